@@ -2,47 +2,37 @@ const { FuseV1Options, FuseVersion } = require("@electron/fuses");
 const path = require("path");
 const fs = require("fs");
 
-// 平台架构 -> @cometix/codex target triple 映射
-const TARGET_TRIPLE_MAP = {
-  "darwin-arm64": "aarch64-apple-darwin",
-  "darwin-x64": "x86_64-apple-darwin",
-  "linux-arm64": "aarch64-unknown-linux-musl",
-  "linux-x64": "x86_64-unknown-linux-musl",
-  "win32-x64": "x86_64-pc-windows-msvc",
-};
+// codex 二进制定位与校验（清单见 codex-cli.json）
+const {
+  binaryName,
+  resolveCodexBinary,
+  verifyCodexBinary,
+  formatReport,
+} = require("./scripts/lib/codex-cli");
+
+// 品牌配置（branding.toml，CODEX_BRANDING 可指定其他文件）：名称、ID、协议、图标
+const { loadBranding } = require("./scripts/lib/branding");
+const branding = loadBranding();
+
+// SBOM 与第三方声明（packageAfterPrune 生成 THIRD_PARTY_NOTICES.txt / sbom.cdx.json）
+const { describeNodeModules, writeSbom } = require("./scripts/lib/sbom");
 
-// 获取 codex 二进制路径（优先本地，其次 npm）
-function getCodexBinaryPath(platform, arch) {
-  const platformArch = `${platform}-${arch}`;
-  const binaryName = platform === "win32" ? "codex.exe" : "codex";
-
-  // 路径1: 本地 resources/bin/
-  const localPath = path.join(__dirname, "resources", "bin", platformArch, binaryName);
-  if (fs.existsSync(localPath)) {
-    return localPath;
-  }
-
-  // 路径2: npm @cometix/codex/vendor/
-  const targetTriple = TARGET_TRIPLE_MAP[platformArch];
-  if (targetTriple) {
-    const npmPath = path.join(
-      __dirname, "node_modules", "@cometix", "codex", "vendor",
-      targetTriple, "codex", binaryName
-    );
-    if (fs.existsSync(npmPath)) {
-      return npmPath;
-    }
-  }
-
-  return null;
-}
+// 配套 CLI（codex-desktop，经 IPC socket 上的脚本 API 控制运行中的应用）
+const { writeDesktopCli } = require("./scripts/lib/desktop-cli");
+
+// 调试构建（scripts/debug-build.js make 设置 CODEX_DEBUG_BUILD=1）：打包格式化后的 bundle，输出到 out/debug/
+const DEBUG_BUILD = Boolean(process.env.CODEX_DEBUG_BUILD);
+
+// Linux 桌面文件注册 codex:// 协议（deb / rpm / AppImage / Flatpak 共用）
+const LINUX_MIME_TYPES = [`x-scheme-handler/${branding.protocol}`];
 
 module.exports = {
+  ...(DEBUG_BUILD ? { outDir: "out/debug" } : {}),
   packagerConfig: {
-    name: "Codex",
-    executableName: "Codex",
-    appBundleId: "com.openai.codex",
-    icon: "./resources/electron",
+    name: branding.name,
+    executableName: branding.executable,
+    appBundleId: branding.id,
+    icon: branding.icon,
     asar: {
       unpack: "{**/*.node,**/node-pty/build/Release/spawn-helper,**/node-pty/prebuilds/*/spawn-helper}",
     },
@@ -91,7 +81,7 @@ module.exports = {
     // Windows 元数据
     win32metadata: {
       CompanyName: "OpenAI",
-      ProductName: "Codex",
+      ProductName: branding.name,
     },
   },
   rebuildConfig: {},
@@ -101,7 +91,7 @@ module.exports = {
       name: "@electron-forge/maker-dmg",
       config: {
         format: "ULFO",
-        icon: "./resources/electron.icns",
+        icon: `${branding.icon}.icns`,
       },
     },
     // macOS ZIP
@@ -113,10 +103,10 @@ module.exports = {
     {
       name: "@electron-forge/maker-squirrel",
       config: {
-        name: "Codex",
+        name: branding.executable,
         authors: "OpenAI, Cometix Space",
         description: "Codex Desktop App",
-        setupIcon: "./resources/electron.ico",
+        setupIcon: `${branding.icon}.ico`,
         iconUrl: "https://raw.githubusercontent.com/Haleclipse/CodexDesktop-Rebuild/master/resources/electron.ico",
       },
     },
@@ -130,14 +120,15 @@ module.exports = {
       name: "@electron-forge/maker-deb",
       config: {
         options: {
-          name: "codex",
-          productName: "Codex",
+          name: branding.package,
+          productName: branding.name,
           genericName: "AI Coding Assistant",
           categories: ["Development", "Utility"],
-          bin: "Codex",
+          bin: branding.executable,
           maintainer: "Cometix Space",
-          homepage: "https://github.com/Haleclipse/CodexDesktop-Rebuild",
-          icon: "./resources/electron.png",
+          homepage: branding.homepage,
+          icon: `${branding.icon}.png`,
+          mimeType: LINUX_MIME_TYPES,
         },
       },
     },
@@ -146,14 +137,15 @@ module.exports = {
       name: "@electron-forge/maker-rpm",
       config: {
         options: {
-          name: "codex",
-          productName: "Codex",
+          name: branding.package,
+          productName: branding.name,
           genericName: "AI Coding Assistant",
           categories: ["Development", "Utility"],
-          bin: "Codex",
+          bin: branding.executable,
           license: "Apache-2.0",
-          homepage: "https://github.com/Haleclipse/CodexDesktop-Rebuild",
-          icon: "./resources/electron.png",
+          homepage: branding.homepage,
+          icon: `${branding.icon}.png`,
+          mimeType: LINUX_MIME_TYPES,
         },
       },
     },
@@ -162,6 +154,38 @@ module.exports = {
       name: "@electron-forge/maker-zip",
       platforms: ["linux"],
     },
+    // Linux AppImage（需要 mksquashfs；设置 SKIP_APPIMAGE=true 跳过）
+    {
+      name: "@reforged/maker-appimage",
+      enabled: !process.env.SKIP_APPIMAGE,
+      config: {
+        options: {
+          name: branding.package,
+          productName: branding.name,
+          genericName: "AI Coding Assistant",
+          categories: ["Development", "Utility"],
+          bin: branding.executable,
+          icon: `${branding.icon}.png`,
+          mimeType: LINUX_MIME_TYPES,
+        },
+      },
+    },
+    // Linux Flatpak — 只生成 flatpak-builder 清单与源文件，不在 make 阶段构建
+    {
+      name: "./scripts/makers/maker-flatpak-manifest.js",
+      config: {
+        appId: branding.id,
+        name: branding.package,
+        productName: branding.name,
+        genericName: "AI Coding Assistant",
+        categories: ["Development", "Utility"],
+        bin: branding.executable,
+        license: "Apache-2.0",
+        homepage: branding.homepage,
+        icon: `${branding.icon}.png`,
+        mimeType: LINUX_MIME_TYPES,
+      },
+    },
   ],
   plugins: [
     {
@@ -446,7 +470,10 @@ module.exports = {
         });
       }
 
-      // 6. 清理所有 node_modules 下的非运行时文件
+      // 6. 记录实际打包的模块（版本、许可证、.node 校验和）— 必须在下一步删除 LICENSE 之前读取
+      const shippedModules = describeNodeModules(nodeModulesPath);
+
+      // 7. 清理所有 node_modules 下的非运行时文件
       const junkPatterns = [
         /\.md$/i,
         /LICENSE(\..*)?$/i,
@@ -495,30 +522,102 @@ module.exports = {
       console.log(
         `   ✅ Cleaned ${cleanedCount} non-runtime files from node_modules`,
       );
+
+      // 8. 生成 SBOM 与第三方声明：bundle 内的许可证注释、原生模块、codex CLI、Electron
+      //    写入 resources/（third-party-notices 路由读取），并复制到 out/sbom/<platform>-<arch>/
+      const sbom = writeSbom({
+        buildPath,
+        platform,
+        arch,
+        electronVersion,
+        modules: shippedModules,
+        app: { name: branding.name, version: require("./package.json").version },
+        outDir: path.resolve(__dirname, config.outDir || "out"),
+      });
+      console.log(
+        `   📜 SBOM: ${sbom.counts.modules} modules, ${sbom.counts.banners} bundled licenses` +
+          `${sbom.counts.codex ? ", codex CLI" : ""} → ${path.relative(__dirname, path.dirname(sbom.files[1]))}`,
+      );
     },
 
-    // 打包后复制对应平台的 codex 二进制
+    // 打包完成后确保 asar.unpacked 中的 node-pty spawn-helper 可执行
+    // （部分 prebuild 解包后丢失执行位；AppImage / Flatpak 直接沿用这里的文件权限）
+    postPackage: async (config, { platform, outputPaths }) => {
+      if (platform === "win32") return;
+      const fixModes = (dir) => {
+        if (!fs.existsSync(dir)) return;
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          const fullPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            fixModes(fullPath);
+          } else if (entry.name === "spawn-helper" && (fs.statSync(fullPath).mode & 0o111) === 0) {
+            fs.chmodSync(fullPath, 0o755);
+            console.log(`   🔧 chmod +x ${fullPath}`);
+          }
+        }
+      };
+      for (const outputPath of outputPaths) {
+        const resourcesDir = platform === "darwin"
+          ? path.join(outputPath, `${branding.name}.app`, "Contents", "Resources")
+          : path.join(outputPath, "resources");
+        fixModes(path.join(resourcesDir, "app.asar.unpacked", "node_modules", "node-pty"));
+      }
+    },
+
+    // 打包后校验并复制对应平台的 codex 二进制
     packageAfterCopy: async (config, buildPath, electronVersion, platform, arch) => {
       console.log(`\n📦 Packaging for ${platform}-${arch}...`);
       console.log(`   buildPath: ${buildPath}`);
 
-      const codexSrc = getCodexBinaryPath(platform, arch);
-      const binaryName = platform === "win32" ? "codex.exe" : "codex";
+      const resolved = resolveCodexBinary(platform, arch);
 
       // buildPath 指向 app 目录，其父目录即为 Resources (macOS) 或 resources (其他)
       const resourcesPath = path.dirname(buildPath);
-      const codexDest = path.join(resourcesPath, binaryName);
+      const codexDest = path.join(resourcesPath, binaryName(platform));
 
-      if (codexSrc && fs.existsSync(codexSrc)) {
-        fs.copyFileSync(codexSrc, codexDest);
-        fs.chmodSync(codexDest, 0o755);
-        console.log(`✅ Copied codex binary: ${codexSrc} -> ${codexDest}`);
-      } else {
+      if (!resolved.path) {
         console.error(`❌ Codex binary not found for ${platform}-${arch}`);
-        console.error(`   Tried: resources/bin/${platform}-${arch}/${binaryName}`);
-        console.error(`   Tried: node_modules/@cometix/codex/vendor/.../codex/${binaryName}`);
+        for (const attempt of resolved.attempts) {
+          console.error(`   Tried: ${path.relative(__dirname, attempt)}`);
+        }
         process.exit(1);
       }
+
+      // 校验 checksum / 版本 / app-server 协议，不匹配则中止打包（SKIP_CODEX_VERIFY=true 跳过）
+      if (process.env.SKIP_CODEX_VERIFY) {
+        console.log("⚠️  SKIP_CODEX_VERIFY set, codex binary not verified");
+      } else {
+        const report = verifyCodexBinary({ platform, arch });
+        console.log(formatReport(report));
+        if (!report.ok) {
+          console.error(`❌ Codex binary for ${platform}-${arch} does not match codex-cli.json`);
+          console.error("   Update the pinned checksum with `npm run codex-cli:pin`, or set SKIP_CODEX_VERIFY=true");
+          process.exit(1);
+        }
+      }
+
+      fs.copyFileSync(resolved.path, codexDest);
+      fs.chmodSync(codexDest, 0o755);
+      console.log(`✅ Copied codex binary: ${resolved.path} -> ${codexDest}`);
+
+      // 配套 CLI：codex-desktop.js 与启动脚本放在 codex 二进制旁边（以应用自身的 Electron 作为 Node 运行）
+      const cliFiles = writeDesktopCli({ resourcesPath, platform, executable: branding.executable });
+      console.log(`✅ Companion CLI: ${cliFiles.map((f) => path.basename(f)).join(", ")}`);
+
+      // 托盘图标：branding 的 PNG 复制为 resources/tray.png（.vite/build/tray.js 读取）
+      const trayIcon = `${branding.icon}.png`;
+      if (fs.existsSync(trayIcon)) {
+        fs.copyFileSync(trayIcon, path.join(resourcesPath, "tray.png"));
+      } else {
+        console.warn(`⚠️  No ${path.relative(__dirname, trayIcon)}, the tray falls back to an empty icon`);
+      }
+
+      // 调试构建：main / worker / preload 格式化为多行，附 source map 与原始 .min.js
+      if (DEBUG_BUILD) {
+        const { writeDebugBuild } = require("./scripts/lib/debug-build");
+        const results = writeDebugBuild(path.join(buildPath, "src", ".vite", "build"));
+        console.log(`🐞 Debug build: pretty-printed ${results.map((r) => r.file).join(", ")}`);
+      }
     },
   },
 };
@@ -0,0 +1,97 @@
+/**
+ * Verify / pin the bundled codex CLI binary against codex-cli.json
+ *
+ * Usage:
+ *   node scripts/codex-cli.js verify [--platform <p>] [--arch <a>] [--all] [--json]
+ *   node scripts/codex-cli.js pin    [--platform <p>] [--arch <a>] [--all] [--version <x.y.z>]
+ *
+ *   verify    check checksum, `codex --version` and app-server protocol;
+ *             exits 1 on any mismatch
+ *   pin       record the sha256 of the binaries currently in resources/bin or
+ *             node_modules/@cometix/codex (and the version, if --version is given
+ *             or the binary runs on this host)
+ *   --all     every target with a binary present (default: this host)
+ */
+const os = require("os");
+const {
+  MANIFEST_PATH,
+  TARGET_TRIPLE_MAP,
+  loadManifest,
+  saveManifest,
+  resolveCodexBinary,
+  verifyCodexBinary,
+  pinCodexBinary,
+  formatReport,
+} = require("./lib/codex-cli");
+
+function getArgValue(argv, flag) {
+  const idx = argv.indexOf(flag);
+  return idx !== -1 && idx + 1 < argv.length ? argv[idx + 1] : null;
+}
+
+/** Targets selected by --platform / --arch / --all */
+function selectTargets(argv) {
+  if (argv.includes("--all")) {
+    return Object.keys(TARGET_TRIPLE_MAP)
+      .map((key) => key.split("-"))
+      .filter(([platform, arch]) => resolveCodexBinary(platform, arch).path)
+      .map(([platform, arch]) => ({ platform, arch }));
+  }
+  return [{ platform: getArgValue(argv, "--platform") || process.platform, arch: getArgValue(argv, "--arch") || os.arch() }];
+}
+
+function verify(argv) {
+  const manifest = loadManifest();
+  const targets = selectTargets(argv);
+  if (targets.length === 0) {
+    console.error("❌ No codex binaries found (run `npm install` or add them under resources/bin/)");
+    process.exit(1);
+  }
+
+  const reports = targets.map((t) => verifyCodexBinary({ ...t, manifest }));
+  if (argv.includes("--json")) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    for (const report of reports) console.log(formatReport(report) + "\n");
+  }
+  if (reports.some((r) => !r.ok)) process.exitCode = 1;
+}
+
+function pin(argv) {
+  const manifest = loadManifest();
+  const explicitVersion = getArgValue(argv, "--version");
+  const targets = selectTargets(argv);
+
+  for (const t of targets) {
+    const pinned = pinCodexBinary({ ...t, manifest });
+    console.log(`📌 ${pinned.triple}: ${pinned.sha256}${pinned.version ? `  (codex ${pinned.version})` : ""}`);
+    if (!explicitVersion && pinned.version && pinned.version !== manifest.version) {
+      console.log(`   version ${manifest.version} → ${pinned.version}`);
+      manifest.version = pinned.version;
+    }
+  }
+  if (explicitVersion) manifest.version = explicitVersion;
+
+  saveManifest(manifest);
+  console.log(`📝 Updated ${MANIFEST_PATH}`);
+}
+
+function main() {
+  const [command, ...argv] = process.argv.slice(2);
+  switch (command) {
+    case "verify":
+      return verify(argv);
+    case "pin":
+      return pin(argv);
+    default:
+      console.error("Usage: node scripts/codex-cli.js <verify|pin> [--platform <p>] [--arch <a>] [--all] [--json]");
+      process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("❌", err.message);
+  process.exit(1);
+}
@@ -0,0 +1,109 @@
+/**
+ * Debug build: pretty-printed bundles with source maps and subsystem regions
+ *
+ * Usage:
+ *   node scripts/debug-build.js [--out <dir>]           # default: out/debug-build
+ *   node scripts/debug-build.js symbolicate [<file>]    # stack trace from <file> or stdin
+ *   node scripts/debug-build.js make [<forge args>…]    # e.g. make --platform=linux --arch=x64
+ *
+ *   (default)     copy src/.vite/build to <dir> with main-*.js, worker.js and
+ *                 preload.js pretty-printed; each gets a .js.map back to the
+ *                 minified original, which is kept as <name>.min.js
+ *   symbolicate   rewrite frames pointing into the shipped bundles, e.g.
+ *                 main-A5zRgzkr.js:1:400000, to the pretty-printed line and
+ *                 the subsystem region it falls in (from the current src/)
+ *   make          electron-forge make with CODEX_DEBUG_BUILD=1: the packaged app
+ *                 carries the pretty-printed bundles, output goes to out/debug/
+ *
+ * The shipping build (`npm run build`) is never affected.
+ */
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { ROOT, BUILD_DIR } = require("./lib/patch-engine");
+const { isDebugBundle, prettyPrint, createOriginalLookup, writeDebugBuild } = require("./lib/debug-build");
+
+const DEFAULT_OUT = path.join(ROOT, "out", "debug-build");
+
+// file.js:line:column inside a stack frame
+const FRAME_POSITION = /([\w.-]+\.js):(\d+):(\d+)/g;
+
+function getArgValue(argv, flag) {
+  const idx = argv.indexOf(flag);
+  return idx !== -1 && idx + 1 < argv.length ? argv[idx + 1] : null;
+}
+
+// ──────────────────────────────────────────────
+//  Commands
+// ──────────────────────────────────────────────
+
+function build(argv) {
+  const out = path.resolve(getArgValue(argv, "--out") || DEFAULT_OUT);
+  fs.rmSync(out, { recursive: true, force: true });
+  fs.cpSync(BUILD_DIR, out, { recursive: true });
+
+  console.log(`🐞 Pretty-printing ${path.relative(ROOT, BUILD_DIR)} → ${path.relative(ROOT, out) || out}`);
+  for (const r of writeDebugBuild(out)) {
+    console.log(`   ${r.file.padEnd(22)} ${String(r.lines).padStart(7)} lines  ${String(r.regions).padStart(3)} regions`);
+  }
+  console.log("✅ Done (<name>.min.js = original, <name>.js.map = pretty → original)");
+}
+
+function symbolicate(argv) {
+  const input = argv[0] ? fs.readFileSync(path.resolve(argv[0]), "utf-8") : fs.readFileSync(0, "utf-8");
+  const lookups = new Map(); // bundle name → lookup | null
+
+  const lookupFor = (name) => {
+    if (!lookups.has(name)) {
+      const file = path.join(BUILD_DIR, name);
+      let lookup = null;
+      if (isDebugBundle(name) && fs.existsSync(file)) {
+        lookup = createOriginalLookup(prettyPrint(fs.readFileSync(file, "utf-8"), { file: name }).map);
+      }
+      lookups.set(name, lookup);
+    }
+    return lookups.get(name);
+  };
+
+  const output = input.replace(FRAME_POSITION, (frame, name, line, column) => {
+    const lookup = lookupFor(name);
+    const pos = lookup && lookup(Number(line), Number(column));
+    if (!pos) return frame;
+    return `${frame} → ${name}:${pos.line}:${pos.column}${pos.region ? ` [${pos.region}]` : ""}`;
+  });
+  process.stdout.write(output);
+}
+
+function make(argv) {
+  const pkg = require.resolve("@electron-forge/cli/package.json", { paths: [ROOT] });
+  const cli = path.join(path.dirname(pkg), require(pkg).bin["electron-forge"]);
+  const result = spawnSync(process.execPath, [cli, "make", ...argv], {
+    cwd: ROOT,
+    stdio: "inherit",
+    env: { ...process.env, CODEX_DEBUG_BUILD: "1" },
+  });
+  if (result.status !== 0) process.exitCode = result.status || 1;
+}
+
+function main() {
+  const [command, ...argv] = process.argv.slice(2);
+  switch (command) {
+    case "symbolicate":
+      return symbolicate(argv);
+    case "make":
+      return make(argv);
+    case undefined:
+    case "--out":
+      return build(process.argv.slice(2));
+    default:
+      console.error("Usage: node scripts/debug-build.js [--out <dir>] | symbolicate [<file>] | make [<forge args>…]");
+      process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("❌", err.message);
+  process.exit(1);
+}
@@ -1,14 +1,33 @@
 #!/usr/bin/env node
 /**
- * Codex rebuild – interactive dev menu
+ * Codex rebuild – dev menu
+ *
+ * Without arguments, shows the interactive menu. With arguments, runs the
+ * same tasks non-interactively, in order, stopping at the first failure:
+ *
+ *   update  [--dmg <path>]                    extract src/ from a DMG (default: ./Codex.dmg)
+ *   patch   [--check]                         apply (or dry-run) every patch
+ *   rebuild                                   rebuild native modules for Electron
+ *   smoke   [--app <dir>] [--mode browser|node]   native-module smoke test of a packaged build
+ *   build   [--platform <p>] [--arch <a>]     patch + electron-forge make via the package.json
+ *                                             build:* scripts; --platform all builds everything
+ *   start   [--watch]                         launch Electron in dev mode (--watch: re-patch
+ *                                             and reload on changes)
+ *   debug   [--make]                          pretty-printed bundles + source maps in
+ *                                             out/debug-build (--make: debug package in out/debug)
+ *
+ * Global flags:
+ *   --yes    answer yes to confirmations (required for them when stdin is not a TTY)
+ *   --help   list tasks
  *
  * Usage:
  *   node scripts/dev-menu.js
  *   npm run menu
+ *   npm run menu -- update --dmg ~/Downloads/Codex.dmg
+ *   npm run menu -- build --platform linux --arch arm64
+ *   npm run menu -- update --dmg Codex.dmg patch --check build --platform linux --yes
  */
 const { spawnSync }  = require("child_process");
-const select  = require("@inquirer/select").default;
-const confirm = require("@inquirer/confirm").default;
 const path  = require("path");
 const fs    = require("fs");
 
@@ -17,6 +36,15 @@ const ROOT = path.join(__dirname, "..");
 // On Windows, npm is a .cmd script and requires the .cmd suffix when shell is false
 const NPM = process.platform === "win32" ? "npm.cmd" : "npm";
 
+// `--platform` → prefix of the package.json build:* scripts
+const BUILD_PLATFORMS = {
+  darwin: "mac",
+  mac: "mac",
+  win32: "win",
+  win: "win",
+  linux: "linux",
+};
+
 // ──────────────────────────────────────────────
 //  Helpers
 // ──────────────────────────────────────────────
@@ -49,6 +77,152 @@ function pause() {
   });
 }
 
+/** Confirmation that --yes answers; without a TTY it must be given */
+async function confirmOrYes(ctx, message) {
+  if (ctx.yes) return true;
+  if (!process.stdin.isTTY) {
+    throw new Error(`"${message}" needs confirmation; pass --yes to run non-interactively`);
+  }
+  const confirm = require("@inquirer/confirm").default;
+  return confirm({ message, default: false });
+}
+
+// ──────────────────────────────────────────────
+//  Tasks
+// ──────────────────────────────────────────────
+
+/** package.json script for a build target, e.g. linux/arm64 → build:linux-arm64 */
+function buildScriptName(platform, arch) {
+  if (!platform) {
+    if (arch) throw new Error("build: --arch needs --platform");
+    return "build:current";
+  }
+  if (platform === "all") return "build:all";
+  const prefix = BUILD_PLATFORMS[platform];
+  if (!prefix) throw new Error(`build: unknown --platform "${platform}" (mac | win | linux | all)`);
+  const name = arch ? `build:${prefix}-${arch}` : `build:${prefix}`;
+
+  const { scripts } = JSON.parse(fs.readFileSync(path.join(ROOT, "package.json"), "utf-8"));
+  if (!scripts[name]) {
+    const available = Object.keys(scripts).filter((s) => s.startsWith(`build:${prefix}`));
+    throw new Error(`build: no "${name}" script in package.json (available: ${available.join(", ")})`);
+  }
+  return name;
+}
+
+/**
+ * Every action the menu offers. `flags` lists the options a task accepts:
+ * true = takes a value, false = boolean switch.
+ */
+const TASKS = {
+  update: {
+    summary: "extract src/ from a DMG, re-apply patches",
+    flags: { "--dmg": true },
+    run: (opts) => {
+      const dmg = opts["--dmg"] ? path.resolve(opts["--dmg"]) : path.join(ROOT, "Codex.dmg");
+      if (!fs.existsSync(dmg)) throw new Error(`update: DMG not found: ${dmg}`);
+      return runNode("scripts/update-from-dmg.js", [dmg]);
+    },
+  },
+  patch: {
+    summary: "apply every patch (--check: dry run)",
+    flags: { "--check": false },
+    run: (opts) => runNode("scripts/patch.js", opts["--check"] ? ["--check"] : []),
+  },
+  rebuild: {
+    summary: "rebuild node-pty + better-sqlite3 for Electron",
+    flags: {},
+    run: () => runNode("scripts/rebuild-native.js"),
+  },
+  smoke: {
+    summary: "native-module smoke test of the packaged build",
+    flags: { "--app": true, "--mode": true },
+    run: (opts) => {
+      const args = [];
+      for (const flag of ["--app", "--mode"]) if (opts[flag]) args.push(flag, opts[flag]);
+      return runNode("scripts/smoke-native.js", args);
+    },
+  },
+  build: {
+    summary: "patch + electron-forge make (--platform all: every platform)",
+    flags: { "--platform": true, "--arch": true },
+    run: async (opts, ctx) => {
+      const script = buildScriptName(opts["--platform"], opts["--arch"]);
+      if (script === "build:all") {
+        const sure = await confirmOrYes(ctx, "Build ALL platforms (mac + win + linux)? This takes a while.");
+        if (!sure) return true;
+      }
+      return npmRun(script);
+    },
+  },
+  start: {
+    summary: "launch Electron in dev mode (--watch: live reload)",
+    flags: { "--watch": false },
+    run: (opts) => runNode("scripts/start-dev.js", opts["--watch"] ? ["--watch"] : []),
+  },
+  debug: {
+    summary: "pretty-printed bundles + source maps (--make: package a debug build)",
+    flags: { "--make": false },
+    run: (opts) => (opts["--make"] ? npmRun("build:debug") : runNode("scripts/debug-build.js")),
+  },
+};
+
+/**
+ * Split argv into a task chain:
+ *   ["update", "--dmg", "x.dmg", "build", "--platform", "linux", "--yes"]
+ *   → { steps: [{ task: "update", opts: { "--dmg": "x.dmg" } }, { task: "build", … }], ctx: { yes: true, … } }
+ */
+function parseArgs(argv) {
+  const steps = [];
+  const ctx = { yes: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--yes" || arg === "-y") {
+      ctx.yes = true;
+    } else if (arg === "--help" || arg === "-h") {
+      ctx.help = true;
+    } else if (TASKS[arg]) {
+      steps.push({ task: arg, opts: {} });
+    } else if (arg.startsWith("--")) {
+      const step = steps[steps.length - 1];
+      if (!step) throw new Error(`${arg} must follow a task`);
+      const takesValue = TASKS[step.task].flags[arg];
+      if (takesValue === undefined) throw new Error(`${step.task}: unknown option ${arg}`);
+      if (takesValue) {
+        if (i + 1 >= argv.length) throw new Error(`${step.task}: ${arg} needs a value`);
+        step.opts[arg] = argv[++i];
+      } else {
+        step.opts[arg] = true;
+      }
+    } else {
+      throw new Error(`unknown task "${arg}" (${Object.keys(TASKS).join(", ")})`);
+    }
+  }
+  return { steps, ctx };
+}
+
+function printHelp() {
+  console.log("Usage: npm run menu -- [<task> [options]]… [--yes]\n");
+  for (const [name, task] of Object.entries(TASKS)) {
+    const flags = Object.entries(task.flags).map(([f, v]) => (v ? `[${f} <value>]` : `[${f}]`)).join(" ");
+    console.log(`  ${name.padEnd(8)} ${flags.padEnd(38)} ${task.summary}`);
+  }
+  console.log("\nTasks run in order and stop at the first failure. Without a task the interactive menu opens.");
+}
+
+/** Run a task chain, returning false as soon as a step fails */
+async function runChain(steps, ctx) {
+  for (const [i, step] of steps.entries()) {
+    if (steps.length > 1) console.log(`\n🔗 [${i + 1}/${steps.length}] ${step.task}`);
+    if (!(await TASKS[step.task].run(step.opts, ctx))) {
+      if (steps.length > 1) console.error(`\n❌ Stopped at "${step.task}"`);
+      return false;
+    }
+  }
+  return true;
+}
+
 // ──────────────────────────────────────────────
 //  Menu definition
 // ──────────────────────────────────────────────
@@ -56,39 +230,55 @@ function pause() {
 const MENU = [
   {
     name: "📥  Update source from DMG      — extract latest build from Codex.dmg",
-    value: "update-src",
+    value: ["update"],
   },
   {
-    name: "🔧  Apply patches               — copyright, i18n, polyfill, GPU flags, CSS",
-    value: "patch",
+    name: "🔧  Apply patches               — copyright, branding, gates, polyfill, GPU flags, CSS, CSP, i18n, updater, host actions, keybindings, tray, deep links, scripting API, notifications, dev reload",
+    value: ["patch"],
+  },
+  {
+    name: "🩺  Check patches               — dry run, report per rule, no writes",
+    value: ["patch", { "--check": true }],
   },
   {
     name: "🔨  Rebuild native modules       — node-pty + better-sqlite3 for Electron",
-    value: "rebuild-native",
+    value: ["rebuild"],
+  },
+  {
+    name: "🔥  Smoke-test native modules   — load them in the packaged app (headless)",
+    value: ["smoke"],
   },
   {
     name: "🏗️   Build (current platform)    — patch + electron-forge make",
-    value: "build-current",
+    value: ["build"],
   },
   {
     name: "🪟  Build Windows x64            — patch + electron-forge make win32/x64",
-    value: "build-win",
+    value: ["build", { "--platform": "win", "--arch": "x64" }],
   },
   {
     name: "🍎  Build macOS (arm64 + x64)    — patch + electron-forge make darwin",
-    value: "build-mac",
+    value: ["build", { "--platform": "mac" }],
   },
   {
     name: "🐧  Build Linux (x64 + arm64)    — patch + electron-forge make linux",
-    value: "build-linux",
+    value: ["build", { "--platform": "linux" }],
   },
   {
     name: "🌍  Build all platforms          — mac + win + linux",
-    value: "build-all",
+    value: ["build", { "--platform": "all" }],
   },
   {
     name: "▶️   Start dev                   — launch Electron in dev mode",
-    value: "start",
+    value: ["start"],
+  },
+  {
+    name: "👀  Start dev (watch)           — re-patch and reload on src/ or patch changes",
+    value: ["start", { "--watch": true }],
+  },
+  {
+    name: "🐞  Debug bundles               — pretty-printed + source maps in out/debug-build",
+    value: ["debug"],
   },
   {
     name: "─────────────────────────────────",
@@ -106,62 +296,22 @@ const MENU = [
 // ──────────────────────────────────────────────
 
 async function handleChoice(choice) {
-  switch (choice) {
-    case "update-src": {
-      const dmg = path.join(ROOT, "Codex.dmg");
-      if (!fs.existsSync(dmg)) {
-        console.log(`\n⚠️  Codex.dmg not found at project root.`);
-        const custom = await confirm({ message: "Specify a custom DMG path?" });
-        if (!custom) break;
-        // Fall through to node script – it will error with a clear message
-      }
-      runNode("scripts/update-from-dmg.js");
-      break;
-    }
-    case "patch":
-      runNode("scripts/patch-copyright.js") &&
-      runNode("scripts/patch-i18n.js") &&
-      runNode("scripts/patch-process-polyfill.js") &&
-      runNode("scripts/patch-chromium-flags.js") &&
-      runNode("scripts/patch-css-containment.js");
-      break;
-
-    case "rebuild-native":
-      runNode("scripts/rebuild-native.js");
-      break;
-
-    case "build-current":
-      npmRun("forge:make");
-      break;
-
-    case "build-win":
-      npmRun("build:win-x64");
-      break;
-
-    case "build-mac":
-      npmRun("build:mac");
-      break;
-
-    case "build-linux":
-      npmRun("build:linux");
-      break;
-
-    case "build-all": {
-      const sure = await confirm({
-        message: "Build ALL platforms (mac + win + linux)? This takes a while.",
-        default: false,
-      });
-      if (sure) npmRun("build:all");
-      break;
-    }
+  if (choice === "exit") {
+    console.log("\nBye!\n");
+    process.exit(0);
+  }
 
-    case "start":
-      runNode("scripts/start-dev.js");
-      break;
+  const [task, opts = {}] = choice;
+  if (task === "update" && !fs.existsSync(path.join(ROOT, "Codex.dmg"))) {
+    console.log(`\n⚠️  Codex.dmg not found at project root.`);
+    console.log("   For a DMG elsewhere run: npm run menu -- update --dmg <path>");
+    return;
+  }
 
-    case "exit":
-      console.log("\nBye!\n");
-      process.exit(0);
+  try {
+    await TASKS[task].run({ ...opts }, { yes: false });
+  } catch (err) {
+    console.error(`\n❌ ${err.message}`);
   }
 }
 
@@ -169,11 +319,16 @@ async function handleChoice(choice) {
 //  Main loop
 // ──────────────────────────────────────────────
 
-async function main() {
+function printBanner() {
   console.clear();
   console.log("╔══════════════════════════════════════╗");
   console.log("║      Codex Desktop – Dev Menu        ║");
   console.log("╚══════════════════════════════════════╝\n");
+}
+
+async function interactive() {
+  const select = require("@inquirer/select").default;
+  printBanner();
 
   // eslint-disable-next-line no-constant-condition
   while (true) {
@@ -185,16 +340,20 @@ async function main() {
 
     await handleChoice(choice);
 
-    if (choice !== "start") {
+    if (choice[0] !== "start") {
       await pause();
-      console.clear();
-      console.log("╔══════════════════════════════════════╗");
-      console.log("║      Codex Desktop – Dev Menu        ║");
-      console.log("╚══════════════════════════════════════╝\n");
+      printBanner();
     }
   }
 }
 
+async function main() {
+  const { steps, ctx } = parseArgs(process.argv.slice(2));
+  if (ctx.help) return printHelp();
+  if (steps.length === 0) return interactive();
+  if (!(await runChain(steps, ctx))) process.exitCode = 1;
+}
+
 main().catch(err => {
   if (err.name === "ExitPromptError") process.exit(0); // Ctrl+C
   console.error("❌", err.message);
@@ -0,0 +1,156 @@
+/**
+ * Translation tooling for the webview's react-intl catalogs
+ *
+ * Usage:
+ *   node scripts/i18n.js extract [--out <file>]
+ *   node scripts/i18n.js missing [--locale <tag>] [--json] [--out <file>]
+ *   node scripts/i18n.js init <locale>
+ *   node scripts/i18n.js merge [--check] [--json]
+ *
+ *   extract   write every defaultMessage descriptor in the webview chunks to
+ *             a catalog (default: out/i18n/catalog.json)
+ *   missing   catalog ids each locale lacks, counting i18n/overrides/ as
+ *             translated; --locale lists the ids with their English text
+ *             (default report: out/i18n/missing.json)
+ *   init      create or extend i18n/overrides/<locale>.json with every id the
+ *             locale lacks, English text as the starting point — also how a
+ *             new locale is started
+ *   merge     apply i18n/overrides/ to the locale chunks (scripts/patch-i18n.js)
+ *
+ * Strings can also be changed without a rebuild through
+ * $CODEX_HOME/i18n-overrides.json (see scripts/runtime/i18n-overrides.js).
+ */
+const fs = require("fs");
+const path = require("path");
+const { ROOT, runPatchCli } = require("./lib/patch-engine");
+const {
+  OVERRIDES_DIR,
+  LOCALE_TAG,
+  findLocaleChunks,
+  readLocaleChunk,
+  extractCatalog,
+  diffLocale,
+  loadOverrides,
+} = require("./lib/i18n");
+const { createPatch } = require("./patch-i18n");
+
+const OUT_DIR = path.join(ROOT, "out", "i18n");
+
+function getArgValue(argv, flag) {
+  const idx = argv.indexOf(flag);
+  return idx !== -1 && idx + 1 < argv.length ? argv[idx + 1] : null;
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+/** Locale → messages as the app will show them: chunk, then pending override files */
+function effectiveLocales() {
+  const overrides = loadOverrides();
+  const locales = {};
+  for (const { locale, file } of findLocaleChunks()) locales[locale] = readLocaleChunk(file).messages;
+  for (const [locale, messages] of Object.entries(overrides)) {
+    locales[locale] = { ...(locales[locale] || {}), ...messages };
+  }
+  return locales;
+}
+
+function printCatalogNotes(catalog) {
+  for (const { id, files } of catalog.conflicts) {
+    console.warn(`⚠️  ${id}: different defaultMessage in ${files.join(", ")} (kept the first)`);
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Commands
+// ──────────────────────────────────────────────
+
+function extract(argv) {
+  const out = path.resolve(getArgValue(argv, "--out") || path.join(OUT_DIR, "catalog.json"));
+  const catalog = extractCatalog();
+  printCatalogNotes(catalog);
+  writeJson(out, catalog.messages);
+  console.log(`📝 ${Object.keys(catalog.messages).length} message(s) → ${path.relative(ROOT, out)}`);
+}
+
+function missing(argv) {
+  const only = getArgValue(argv, "--locale");
+  const out = path.resolve(getArgValue(argv, "--out") || path.join(OUT_DIR, "missing.json"));
+  const catalog = extractCatalog().messages;
+  const locales = effectiveLocales();
+  if (only && !locales[only]) throw new Error(`unknown locale "${only}" (${Object.keys(locales).join(", ")})`);
+
+  const report = {};
+  for (const locale of only ? [only] : Object.keys(locales)) {
+    report[locale] = diffLocale(catalog, locales[locale]).missing;
+  }
+  writeJson(out, report);
+
+  if (argv.includes("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  const total = Object.keys(catalog).length;
+  for (const [locale, ids] of Object.entries(report)) {
+    console.log(`${ids.length ? "⚠️ " : "✅"} ${locale.padEnd(6)} ${total - ids.length}/${total}`);
+    if (only) for (const id of ids) console.log(`   ${id}: ${JSON.stringify(catalog[id].defaultMessage)}`);
+  }
+  console.log(`📝 Report: ${path.relative(ROOT, out)}`);
+}
+
+function init(argv) {
+  const locale = argv[0];
+  if (!locale || !LOCALE_TAG.test(locale)) throw new Error("expected a locale tag, e.g. `init fr-FR`");
+  const file = path.join(OVERRIDES_DIR, `${locale}.json`);
+  const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : {};
+  const catalog = extractCatalog().messages;
+  const translated = effectiveLocales()[locale] || {};
+
+  const added = diffLocale(catalog, translated).missing.filter((id) => !(id in existing));
+  const merged = { ...existing };
+  for (const id of added) merged[id] = catalog[id].defaultMessage;
+  writeJson(file, merged);
+
+  const shipped = findLocaleChunks().some((c) => c.locale === locale && !c.file.endsWith("-i18n.js"));
+  console.log(`📝 ${path.relative(ROOT, file)}: ${added.length} id(s) added, ${Object.keys(merged).length} total`);
+  if (!shipped) console.log(`🆕 ${locale} has no locale chunk; \`merge\` will create one`);
+  console.log("   Translate the English strings, then run `node scripts/i18n.js merge`");
+}
+
+function merge(argv) {
+  // Ids the catalog does not know are fine (the index chunk may be missing); just say so
+  const catalog = extractCatalog().messages;
+  for (const [locale, messages] of Object.entries(loadOverrides())) {
+    const unknown = Object.keys(messages).filter((id) => !(id in catalog));
+    if (unknown.length) {
+      console.warn(`⚠️  ${locale}: ${unknown.length} id(s) not in the extracted catalog (kept as is): ${unknown.slice(0, 5).join(", ")}${unknown.length > 5 ? ", …" : ""}`);
+    }
+  }
+  runPatchCli(createPatch(argv), argv);
+}
+
+function main() {
+  const [command, ...argv] = process.argv.slice(2);
+  switch (command) {
+    case "extract":
+      return extract(argv);
+    case "missing":
+      return missing(argv);
+    case "init":
+      return init(argv);
+    case "merge":
+      return merge(argv);
+    default:
+      console.error("Usage: node scripts/i18n.js <extract|missing|init|merge> [options]");
+      process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("❌", err.message);
+  process.exit(1);
+}
@@ -0,0 +1,123 @@
+/**
+ * White-label branding config (branding.toml)
+ *
+ * forge.config.js, scripts/patch-branding.js, scripts/patch-copyright.js and
+ * scripts/smoke-native.js all read the branding here, so packaging and the
+ * patched bundles always agree on the app's name, id and protocol scheme.
+ * CODEX_BRANDING=<file> selects another config (.toml or .json); keys left
+ * out fall back to the upstream values in UPSTREAM.
+ *
+ * Usage:
+ *   const { loadBranding } = require("./lib/branding");
+ *   const branding = loadBranding();
+ *   branding.protocol   // "codex"
+ *   branding.icon       // absolute icon base path, no extension
+ */
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+const DEFAULT_BRANDING = path.join(ROOT, "branding.toml");
+
+/** What the upstream bundles ship with, i.e. what the patches rename from */
+const UPSTREAM = {
+  name: "Codex",
+  executable: "Codex",
+  package: "codex",
+  id: "com.openai.codex",
+  protocol: "codex",
+  copyright: "© OpenAI",
+  homepage: "https://github.com/Haleclipse/CodexDesktop-Rebuild",
+  icon: "resources/electron",
+};
+
+const ICON_EXTENSIONS = [".icns", ".ico", ".png"];
+
+// Schemes the app must never claim
+const RESERVED_PROTOCOLS = new Set(["http", "https", "file", "ftp", "ws", "wss", "data", "blob", "about", "javascript", "mailto", "chrome", "devtools"]);
+
+const FIELDS = {
+  name: {
+    test: (v) => v.trim() === v && v.length > 0 && !/[\\/:*?"<>|]/.test(v),
+    hint: "non-empty, no leading / trailing spaces or path characters",
+  },
+  executable: { test: (v) => /^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(v), hint: "letters, digits, '.', '-' and '_'" },
+  package: { test: (v) => /^[a-z0-9][a-z0-9+.-]*$/.test(v), hint: "lowercase letters, digits, '+', '.' and '-'" },
+  id: { test: (v) => /^[A-Za-z][A-Za-z0-9-]*(\.[A-Za-z0-9][A-Za-z0-9-]*)+$/.test(v), hint: "reverse-DNS, e.g. com.example.codex" },
+  protocol: {
+    test: (v) => /^[a-z][a-z0-9+.-]*$/.test(v) && !RESERVED_PROTOCOLS.has(v),
+    hint: "a lowercase URL scheme without \"://\", not a standard one",
+  },
+  copyright: { test: (v) => v.length > 0, hint: "non-empty" },
+  homepage: { test: (v) => /^https?:\/\/\S+$/.test(v), hint: "an http(s) URL" },
+  icon: { test: (v) => v.length > 0, hint: "a path without extension" },
+};
+
+// Written by patch-branding.js: what the current src/ has been renamed to
+const APPLIED_PATH = path.join(ROOT, "src", ".vite", "build", "branding.json");
+const APPLIED_KEYS = ["name", "executable", "package", "id", "protocol", "copyright"];
+
+function brandingPath(env = process.env) {
+  return env.CODEX_BRANDING ? path.resolve(env.CODEX_BRANDING) : DEFAULT_BRANDING;
+}
+
+/**
+ * Read and validate the branding config.
+ *
+ * @param {string} [file]  defaults to $CODEX_BRANDING or branding.toml
+ * @returns {{ file: string, name: string, executable: string, package: string, id: string,
+ *             protocol: string, copyright: string, homepage: string, icon: string }}
+ */
+function loadBranding(file = brandingPath()) {
+  const label = file.startsWith(ROOT + path.sep) ? path.relative(ROOT, file) : file;
+  if (!fs.existsSync(file)) throw new Error(`branding config not found: ${label}`);
+  const text = fs.readFileSync(file, "utf-8");
+  const data = file.endsWith(".json") ? JSON.parse(text) : require("smol-toml").parse(text);
+
+  const branding = { ...UPSTREAM };
+  for (const [key, value] of Object.entries(data)) {
+    if (!FIELDS[key]) throw new Error(`${label}: unknown key "${key}" (${Object.keys(FIELDS).join(", ")})`);
+    if (typeof value !== "string" || !FIELDS[key].test(value)) {
+      throw new Error(`${label}: ${key} = ${JSON.stringify(value)} is invalid (${FIELDS[key].hint})`);
+    }
+    branding[key] = value;
+  }
+
+  branding.icon = path.resolve(ROOT, branding.icon);
+  if (!ICON_EXTENSIONS.some((ext) => fs.existsSync(branding.icon + ext))) {
+    throw new Error(`${label}: no ${ICON_EXTENSIONS.join(" / ")} icon found for ${path.relative(ROOT, branding.icon)}`);
+  }
+  return { file, ...branding };
+}
+
+/** The part of the branding that ends up in the bundles (the applied record) */
+function appliedRecord(branding) {
+  return Object.fromEntries(APPLIED_KEYS.map((key) => [key, branding[key]]));
+}
+
+/** Branding src/ was last patched with, or null for a fresh extraction */
+function readAppliedBranding() {
+  try {
+    return JSON.parse(fs.readFileSync(APPLIED_PATH, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Values a patch may find in the bundles for `key`: the upstream one and the
+ * last applied one, so re-branding an already patched src/ works too.
+ */
+function previousValues(key, applied = readAppliedBranding()) {
+  return [...new Set([UPSTREAM[key], applied?.[key]].filter(Boolean))];
+}
+
+module.exports = {
+  UPSTREAM,
+  APPLIED_PATH,
+  brandingPath,
+  loadBranding,
+  appliedRecord,
+  readAppliedBranding,
+  previousValues,
+};
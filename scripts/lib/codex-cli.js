@@ -0,0 +1,291 @@
+/**
+ * codex CLI binary resolution and verification
+ *
+ * forge.config.js (packageAfterCopy), scripts/start-dev.js and
+ * scripts/codex-cli.js all resolve the bundled `codex` binary here, then check
+ * it against codex-cli.json:
+ *
+ *   {
+ *     "version": "0.130.0",                        expected `codex --version`
+ *     "targets": {
+ *       "x86_64-unknown-linux-musl": { "sha256": "<hex>" },
+ *       …
+ *     }
+ *   }
+ *
+ * Checks per binary:
+ *   checksum  – SHA-256 matches the pinned value; an unpinned target only warns
+ *               until `codex-cli:pin` records its checksum
+ *   version   – `codex --version` reports the pinned version; skipped when the
+ *               binary cannot run on this host (cross builds)
+ *   protocol  – every app-server method / notification the desktop bundle uses
+ *               (`thread/*`, `item/*`, `turn/*`) is present in the binary
+ *
+ * Usage:
+ *   const { resolveCodexBinary, verifyCodexBinary } = require("./lib/codex-cli");
+ *   const report = verifyCodexBinary({ platform: "linux", arch: "x64" });
+ *   if (!report.ok) …
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { spawnSync } = require("child_process");
+
+const ROOT = path.join(__dirname, "..", "..");
+const SRC_DIR = path.join(ROOT, "src");
+const MANIFEST_PATH = path.join(ROOT, "codex-cli.json");
+
+// platform-arch → @cometix/codex target triple
+const TARGET_TRIPLE_MAP = {
+  "darwin-arm64": "aarch64-apple-darwin",
+  "darwin-x64": "x86_64-apple-darwin",
+  "linux-arm64": "aarch64-unknown-linux-musl",
+  "linux-x64": "x86_64-unknown-linux-musl",
+  "win32-x64": "x86_64-pc-windows-msvc",
+};
+
+const CHECK = {
+  OK: "ok",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+  UNPINNED: "unpinned",
+};
+
+const VERSION_TIMEOUT_MS = 10000;
+
+class CodexCliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CodexCliError";
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Resolution
+// ──────────────────────────────────────────────
+
+function binaryName(platform) {
+  return platform === "win32" ? "codex.exe" : "codex";
+}
+
+/**
+ * Locate the codex binary for a target:
+ *   1) resources/bin/<platform-arch>/codex(.exe)
+ *   2) node_modules/@cometix/codex/vendor/<target-triple>/codex/codex(.exe)
+ *   3) node_modules/@cometix/codex-<platform>-<arch>/vendor/<target-triple>/codex/codex(.exe)
+ *      (newer releases ship each target as an optional platform package)
+ *
+ * @returns {{ path: string|null, source: string|null, triple: string|null, attempts: string[] }}
+ */
+function resolveCodexBinary(platform, arch) {
+  const platformArch = `${platform}-${arch}`;
+  const name = binaryName(platform);
+  const triple = TARGET_TRIPLE_MAP[platformArch] || null;
+  const attempts = [];
+
+  const localPath = path.join(ROOT, "resources", "bin", platformArch, name);
+  attempts.push(localPath);
+  if (fs.existsSync(localPath)) return { path: localPath, source: "resources/bin", triple, attempts };
+
+  if (triple) {
+    const npmPath = path.join(ROOT, "node_modules", "@cometix", "codex", "vendor", triple, "codex", name);
+    attempts.push(npmPath);
+    if (fs.existsSync(npmPath)) return { path: npmPath, source: "node_modules/@cometix/codex", triple, attempts };
+
+    const platformPackage = `codex-${platformArch}`;
+    const platformPath = path.join(ROOT, "node_modules", "@cometix", platformPackage, "vendor", triple, "codex", name);
+    attempts.push(platformPath);
+    if (fs.existsSync(platformPath)) return { path: platformPath, source: `node_modules/@cometix/${platformPackage}`, triple, attempts };
+  }
+
+  return { path: null, source: null, triple, attempts };
+}
+
+// ──────────────────────────────────────────────
+//  Manifest
+// ──────────────────────────────────────────────
+
+function loadManifest(file = MANIFEST_PATH) {
+  if (!fs.existsSync(file)) {
+    throw new CodexCliError(`codex CLI manifest not found: ${path.relative(ROOT, file)}`);
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new CodexCliError(`invalid codex CLI manifest ${path.relative(ROOT, file)}: ${err.message}`);
+  }
+  if (typeof manifest.version !== "string" || !manifest.version) {
+    throw new CodexCliError(`${path.relative(ROOT, file)}: "version" must be a non-empty string`);
+  }
+  manifest.targets = manifest.targets || {};
+  return manifest;
+}
+
+function saveManifest(manifest, file = MANIFEST_PATH) {
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+// ──────────────────────────────────────────────
+//  Checks
+// ──────────────────────────────────────────────
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+/** "codex-cli 0.130.0-cometix" → "0.130.0" */
+function parseVersion(output) {
+  const m = String(output).match(/(\d+\.\d+\.\d+)/);
+  return m ? m[1] : null;
+}
+
+/** Whether a binary built for platform/arch can be executed on this host */
+function canExecute(platform, arch) {
+  if (platform !== process.platform) return false;
+  if (arch === process.arch) return true;
+  // Apple Silicon runs x64 binaries through Rosetta
+  return platform === "darwin" && process.arch === "arm64" && arch === "x64";
+}
+
+function runVersion(binaryPath) {
+  const result = spawnSync(binaryPath, ["--version"], { encoding: "utf-8", timeout: VERSION_TIMEOUT_MS });
+  if (result.error) throw new CodexCliError(`could not run ${binaryPath} --version: ${result.error.message}`);
+  if (result.status !== 0) {
+    throw new CodexCliError(`${binaryPath} --version exited with ${result.status}: ${(result.stderr || "").trim()}`);
+  }
+  return result.stdout.trim();
+}
+
+/** App-server methods / notifications the desktop bundle under srcRoot relies on */
+function expectedProtocol(srcRoot = SRC_DIR) {
+  const { collectSurface } = require("./release-diff");
+  return collectSurface(srcRoot).appServerEvents;
+}
+
+/**
+ * Run every check for one target.
+ *
+ * @param {{ platform: string, arch: string, binaryPath?: string, srcRoot?: string, manifest?: object }} options
+ * @returns {{ ok: boolean, platform, arch, triple, path, source, expectedVersion, checks: object[] }}
+ */
+function verifyCodexBinary({ platform, arch, binaryPath, srcRoot = SRC_DIR, manifest = loadManifest() }) {
+  const resolved = binaryPath
+    ? { path: binaryPath, source: "explicit", triple: TARGET_TRIPLE_MAP[`${platform}-${arch}`] || null, attempts: [binaryPath] }
+    : resolveCodexBinary(platform, arch);
+  const checks = [];
+  const report = {
+    ok: false,
+    platform,
+    arch,
+    triple: resolved.triple,
+    path: resolved.path,
+    source: resolved.source,
+    expectedVersion: manifest.version,
+    checks,
+  };
+
+  if (!resolved.triple) {
+    checks.push({ check: "present", status: CHECK.FAILED, message: `unsupported platform/arch: ${platform}/${arch}` });
+    return report;
+  }
+  if (!resolved.path || !fs.existsSync(resolved.path)) {
+    checks.push({
+      check: "present",
+      status: CHECK.FAILED,
+      message: `codex binary not found; tried: ${resolved.attempts.map((p) => path.relative(ROOT, p)).join(", ")}`,
+    });
+    return report;
+  }
+
+  const binary = fs.readFileSync(resolved.path);
+
+  // checksum
+  const pinned = manifest.targets[resolved.triple]?.sha256;
+  const actual = sha256(binary);
+  if (!pinned) {
+    checks.push({
+      check: "checksum",
+      status: CHECK.UNPINNED,
+      message: `no sha256 pinned for ${resolved.triple} (actual ${actual}); run \`npm run codex-cli:pin\``,
+    });
+  } else if (pinned.toLowerCase() !== actual) {
+    checks.push({ check: "checksum", status: CHECK.FAILED, message: `sha256 mismatch: expected ${pinned}, got ${actual}` });
+  } else {
+    checks.push({ check: "checksum", status: CHECK.OK, message: actual });
+  }
+
+  // version
+  if (!canExecute(platform, arch)) {
+    checks.push({ check: "version", status: CHECK.SKIPPED, message: `cannot run a ${platform}/${arch} binary on ${process.platform}/${process.arch}` });
+  } else {
+    try {
+      const output = runVersion(resolved.path);
+      const version = parseVersion(output);
+      checks.push(
+        version === manifest.version
+          ? { check: "version", status: CHECK.OK, message: output }
+          : { check: "version", status: CHECK.FAILED, message: `expected ${manifest.version}, got "${output}"` }
+      );
+    } catch (err) {
+      checks.push({ check: "version", status: CHECK.FAILED, message: err.message });
+    }
+  }
+
+  // app-server protocol
+  const methods = expectedProtocol(srcRoot);
+  if (methods.length === 0) {
+    checks.push({ check: "protocol", status: CHECK.SKIPPED, message: "no app-server methods found in the desktop bundle" });
+  } else {
+    const missing = methods.filter((m) => binary.indexOf(m) === -1);
+    checks.push(
+      missing.length === 0
+        ? { check: "protocol", status: CHECK.OK, message: `${methods.length} app-server methods present` }
+        : { check: "protocol", status: CHECK.FAILED, message: `binary lacks ${missing.length}/${methods.length} app-server methods: ${missing.join(", ")}` }
+    );
+  }
+
+  report.ok = checks.every((c) => c.status !== CHECK.FAILED);
+  return report;
+}
+
+/**
+ * Record the current binary's checksum (and, when it can run here, its
+ * version) in the manifest.
+ *
+ * @returns {{ triple: string, sha256: string, version: string|null }}
+ */
+function pinCodexBinary({ platform, arch, manifest }) {
+  const resolved = resolveCodexBinary(platform, arch);
+  if (!resolved.triple) throw new CodexCliError(`unsupported platform/arch: ${platform}/${arch}`);
+  if (!resolved.path) throw new CodexCliError(`codex binary not found for ${platform}/${arch}`);
+
+  const digest = sha256(fs.readFileSync(resolved.path));
+  const version = canExecute(platform, arch) ? parseVersion(runVersion(resolved.path)) : null;
+  manifest.targets[resolved.triple] = { sha256: digest };
+  return { triple: resolved.triple, sha256: digest, version };
+}
+
+function formatReport(report) {
+  const icon = { ok: "✅", failed: "❌", skipped: "⏭️ ", unpinned: "⚠️ " };
+  const unpinned = report.checks.some((c) => c.status === CHECK.UNPINNED);
+  const lines = [`${!report.ok ? "❌" : unpinned ? "⚠️ " : "✅"} codex CLI ${report.platform}/${report.arch} (${report.triple || "?"})`];
+  if (report.path) lines.push(`   📄 ${path.relative(ROOT, report.path)}  [${report.source}]`);
+  lines.push(`   expected version: ${report.expectedVersion}`);
+  for (const c of report.checks) lines.push(`   ${icon[c.status]} ${c.check}: ${c.message}`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  MANIFEST_PATH,
+  TARGET_TRIPLE_MAP,
+  CHECK,
+  CodexCliError,
+  binaryName,
+  resolveCodexBinary,
+  loadManifest,
+  saveManifest,
+  verifyCodexBinary,
+  pinCodexBinary,
+  formatReport,
+};
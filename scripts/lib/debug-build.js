@@ -0,0 +1,453 @@
+/**
+ * Debug build: pretty-printed main, worker and preload bundles
+ *
+ * The shipped bundles are minified onto a handful of lines, so a stack trace
+ * from them points at something like main-A5zRgzkr.js:1:400000. This module
+ * re-emits them one statement per line, indented, and writes a source map
+ * from the pretty-printed file back to the minified original. It only ever
+ * adds whitespace and comments (never removes any), so the code is unchanged.
+ *
+ * Subsystems are annotated with `// #region <tag>` comments, where <tag> is
+ * the name the bundle's logger factory is called with, e.g.
+ * `const kr=Le("open-in-targets")`. A region starts at the top-level
+ * statement that creates the logger and runs to the next one.
+ *
+ * Usage:
+ *   const { prettyPrint, writeDebugBuild } = require("./lib/debug-build");
+ *   const { code, map, regions } = prettyPrint(source, { file: "worker.js" });
+ *   writeDebugBuild(buildDir);        // in place: <name>.js pretty, .js.map, .min.js original
+ */
+const fs = require("fs");
+const path = require("path");
+const acorn = require("acorn");
+
+const INDENT = "  ";
+
+// Bundles that get pretty-printed; everything else in .vite/build is left alone
+const BUNDLES = [/^main-[\w-]+\.js$/, /^worker\.js$/, /^preload\.js$/];
+
+// A callee called as `x=F("tag")` at least this often is taken for a logger factory
+const LOGGER_MIN_CALLS = 8;
+// Globals called the same way that are not loggers
+const NOT_LOGGERS = new Set(["require", "Symbol", "Error", "TypeError", "RegExp", "BigInt", "Number", "String", "Boolean", "Date"]);
+const LOGGER_TAG = /^[a-z][a-z0-9]*(?:[-_.:][a-z0-9]+)*$/;
+
+const SOURCE_MAP_COMMENT = /^[#@] sourceMappingURL=/;
+
+// Value keywords that end an expression like an identifier does
+const VALUE_KEYWORDS = new Set(["this", "super", "null", "true", "false", "import"]);
+const NO_SPACE_AFTER_KEYWORD = new Set([";", ")", ",", ".", "?.", "]", ":"]);
+const NO_BREAK_AFTER_BRACE = new Set([")", "]", ",", ";", ".", "?.", "(", "[", "`", ":", "?", "=>"]);
+const SAME_LINE_AFTER_BRACE = new Set(["else", "catch", "finally", "while"]);
+
+// ──────────────────────────────────────────────
+//  Tokens
+// ──────────────────────────────────────────────
+
+function tokenize(source) {
+  const comments = [];
+  const tokens = [
+    ...acorn.tokenizer(source, {
+      ecmaVersion: "latest",
+      sourceType: "module",
+      allowHashBang: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      onComment: comments,
+    }),
+  ];
+  return { tokens, comments };
+}
+
+const label = (tok) => tok && tok.type.label;
+const isKeyword = (tok, name) => !!tok && tok.type.keyword === name;
+
+function endsExpression(tok) {
+  if (!tok) return false;
+  if (tok.type.keyword) return VALUE_KEYWORDS.has(tok.type.keyword);
+  return ["name", "num", "string", "regexp", "privateId", ")", "]", "}", "`", "++/--"].includes(label(tok));
+}
+
+function isOperator(tok) {
+  return tok.type.binop != null || tok.type.isAssign || ["?", "=>"].includes(label(tok));
+}
+
+// ──────────────────────────────────────────────
+//  Regions
+// ──────────────────────────────────────────────
+
+/**
+ * Logger declarations at the top level → { tokenIndex: [tag, …] }, keyed by
+ * the first token of the statement that holds them.
+ */
+function findRegions(source, tokens) {
+  const calls = new Map(); // callee → [{ stmt, tag }]
+  let depth = 0;
+  let stmt = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const t = label(tokens[i]);
+    if (depth === 0 && i > 0 && (label(tokens[i - 1]) === ";" || label(tokens[i - 1]) === "}")) stmt = i;
+    if (t === "{" || t === "(" || t === "[" || t === "${") depth++;
+    else if (t === "}" || t === ")" || t === "]") depth--;
+
+    if (depth !== 0 || t !== "name" || label(tokens[i + 1]) !== "=" || label(tokens[i + 2]) !== "name") continue;
+    if (label(tokens[i + 3]) !== "(" || label(tokens[i + 4]) !== "string" || label(tokens[i + 5]) !== ")") continue;
+    const callee = tokens[i + 2].value;
+    const tag = tokens[i + 4].value;
+    if (NOT_LOGGERS.has(callee) || !LOGGER_TAG.test(tag)) continue;
+    if (!calls.has(callee)) calls.set(callee, []);
+    calls.get(callee).push({ stmt, tag });
+  }
+
+  const regions = {};
+  for (const list of calls.values()) {
+    if (list.length < LOGGER_MIN_CALLS) continue;
+    for (const { stmt: at, tag } of list) {
+      regions[at] = regions[at] || [];
+      if (!regions[at].includes(tag)) regions[at].push(tag);
+    }
+  }
+  return regions;
+}
+
+// ──────────────────────────────────────────────
+//  Source map
+// ──────────────────────────────────────────────
+
+const BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+function encodeVlq(value) {
+  let v = value < 0 ? (-value << 1) | 1 : value << 1;
+  let out = "";
+  do {
+    let digit = v & 31;
+    v >>>= 5;
+    if (v) digit |= 32;
+    out += BASE64[digit];
+  } while (v);
+  return out;
+}
+
+function decodeVlq(text) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const ch of text) {
+    const digit = BASE64.indexOf(ch);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+/** Offset → zero-based { line, column }, for offsets visited in increasing order */
+function positionCursor(source) {
+  let line = 0;
+  let lineStart = 0;
+  let scanned = 0;
+  return (offset) => {
+    for (; scanned < offset; scanned++) {
+      if (source.charCodeAt(scanned) === 10) {
+        line++;
+        lineStart = scanned + 1;
+      }
+    }
+    return { line, column: offset - lineStart };
+  };
+}
+
+/** Decode a map's mappings → [{ line, column, originalLine, originalColumn }], zero-based */
+function decodeMappings(mappings) {
+  const segments = [];
+  let originalLine = 0;
+  let originalColumn = 0;
+  mappings.split(";").forEach((lineText, line) => {
+    let column = 0;
+    for (const segment of lineText.split(",")) {
+      if (!segment) continue;
+      const [dCol, , dLine, dOrigCol] = decodeVlq(segment);
+      column += dCol;
+      if (dLine === undefined) continue;
+      originalLine += dLine;
+      originalColumn += dOrigCol;
+      segments.push({ line, column, originalLine, originalColumn });
+    }
+  });
+  return segments;
+}
+
+// ──────────────────────────────────────────────
+//  Pretty printer
+// ──────────────────────────────────────────────
+
+/**
+ * Pretty-print a minified bundle.
+ *
+ * @param {string} source
+ * @param {{ file?: string, sourceName?: string }} [options]
+ * @returns {{ code: string, map: object, regions: { line: number, tags: string[] }[] }}
+ *          `regions[].line` is 1-based in `code`
+ */
+function prettyPrint(source, { file = "bundle.js", sourceName = file } = {}) {
+  const { tokens, comments } = tokenize(source);
+  const regionStarts = findRegions(source, tokens);
+  const originalAt = positionCursor(source);
+
+  const out = [];
+  const lines = [[]]; // generated line → [column, originalLine, originalColumn][]
+  let column = 0;
+  const write = (text) => {
+    out.push(text);
+    const parts = text.split("\n");
+    for (let i = 1; i < parts.length; i++) lines.push([]);
+    column = parts.length > 1 ? parts[parts.length - 1].length : column + text.length;
+  };
+
+  const stack = []; // "{" | "(" | "(for" | "[" | "${" | "`"
+  const indent = () => INDENT.repeat(stack.filter((s) => s === "{").length);
+  const inTemplate = () => stack.includes("`");
+
+  // 0 = nothing, 1 = space, 2 = line break
+  let pending = 0;
+  const flush = () => {
+    if (pending === 2) write("\n" + indent());
+    else if (pending === 1) write(" ");
+    pending = 0;
+  };
+
+  const regions = [];
+  let regionOpen = false;
+  let caseDepth = -1;
+  const ternaries = []; // stack depth of each open `?`
+  let commentIndex = 0;
+  let prev = null;
+  let prevBinary = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const t = label(tok);
+    const gapStart = prev ? prev.end : 0;
+    const raw = inTemplate();
+    const closes = t === "}" || t === ")" || t === "]";
+
+    if (raw) {
+      // inside a template literal: copy everything verbatim
+      while (commentIndex < comments.length && comments[commentIndex].start < tok.start) commentIndex++;
+      write(source.slice(gapStart, tok.start));
+    } else {
+      const gap = source.slice(gapStart, tok.start);
+      const gapPending = /\n/.test(gap) ? 2 : gap.length ? 1 : 0;
+
+      // spacing required by the previous token
+      let want = 0;
+      const p = label(prev);
+      if (!prev) want = 0;
+      else if (p === "{") want = t === "}" ? 0 : 2;
+      else if (p === ";") want = stack[stack.length - 1] === "(for" ? 1 : 2;
+      else if (p === "}") {
+        if (NO_BREAK_AFTER_BRACE.has(t)) want = 0;
+        else want = SAME_LINE_AFTER_BRACE.has(tok.type.keyword) || isOperator(tok) ? 1 : 2;
+      }
+      else if (p === ",") want = stack[stack.length - 1] === "{" ? 2 : 1;
+      else if (p === ":") want = 1;
+      else if (p === ")" && (t === "name" || (tok.type.keyword && !tok.type.binop))) want = 1;
+      else if (prev.type.keyword) {
+        want = NO_SPACE_AFTER_KEYWORD.has(t) || (VALUE_KEYWORDS.has(prev.type.keyword) && (t === "(" || t === "[")) ? 0 : 1;
+      } else if (prevBinary) want = 1;
+
+      // spacing required by this token
+      if (t === "}" && p !== "{") want = 2;
+      else if (isOperator(tok) && endsExpression(prev) && t !== "++/--") want = Math.max(want, 1);
+      else if (t === ":" && ternaries[ternaries.length - 1] === stack.length) want = Math.max(want, 1);
+      else if (t === "{" && (p === ")" || p === "name" || p === "=>" || prev?.type.keyword)) want = Math.max(want, 1);
+
+      // comments in the gap
+      while (commentIndex < comments.length && comments[commentIndex].start < tok.start) {
+        const c = comments[commentIndex++];
+        if (c.type === "Line" && SOURCE_MAP_COMMENT.test(c.value)) continue;
+        pending = Math.max(pending, prev ? 1 : 0);
+        flush();
+        write(source.slice(c.start, c.end));
+        if (c.type === "Line") pending = 2;
+      }
+
+      if (regionStarts[i]) {
+        if (out.length) pending = 2;
+        flush();
+        if (regionOpen) {
+          write("// #endregion");
+          pending = 2;
+          flush();
+        }
+        write(`// #region ${regionStarts[i].join(", ")}`);
+        regions.push({ line: lines.length, tags: regionStarts[i] });
+        regionOpen = true;
+        pending = 2;
+      }
+
+      if (closes) stack.pop();
+      pending = Math.max(pending, want, gapPending);
+      flush();
+    }
+
+    const at = originalAt(tok.start);
+    lines[lines.length - 1].push([column, at.line, at.column]);
+    write(source.slice(tok.start, tok.end));
+
+    if (raw && closes) stack.pop();
+    if (t === "{") stack.push("{");
+    else if (t === "(") stack.push(isKeyword(prev, "for") ? "(for" : "(");
+    else if (t === "[") stack.push("[");
+    else if (t === "${") stack.push("${");
+    else if (t === "`") {
+      if (stack[stack.length - 1] === "`") stack.pop();
+      else stack.push("`");
+    }
+
+    if ((isKeyword(tok, "case") || isKeyword(tok, "default")) && stack[stack.length - 1] === "{") caseDepth = stack.length;
+    if (t === "?") ternaries.push(stack.length);
+    else if (t === ":" && ternaries[ternaries.length - 1] === stack.length) ternaries.pop();
+    else if (t === ":" && caseDepth === stack.length) {
+      caseDepth = -1;
+      pending = 2;
+    }
+    if (t === ";") caseDepth = -1;
+
+    prevBinary = isOperator(tok) && endsExpression(prev) && t !== "++/--";
+    prev = tok;
+  }
+
+  // trailing comments (license banners etc.), minus the old source map link
+  for (; commentIndex < comments.length; commentIndex++) {
+    const c = comments[commentIndex];
+    if (c.type === "Line" && SOURCE_MAP_COMMENT.test(c.value)) continue;
+    pending = 2;
+    flush();
+    write(source.slice(c.start, c.end));
+  }
+  if (regionOpen) {
+    pending = 2;
+    flush();
+    write("// #endregion");
+  }
+  write("\n");
+
+  return { code: out.join(""), map: buildMap(lines, { file, sourceName, regions }), regions };
+}
+
+function buildMap(lines, { file, sourceName, regions }) {
+  let prevOriginalLine = 0;
+  let prevOriginalColumn = 0;
+  const mappings = lines
+    .map((segments) => {
+      let prevColumn = 0;
+      return segments
+        .map(([col, originalLine, originalColumn]) => {
+          const segment =
+            encodeVlq(col - prevColumn) +
+            encodeVlq(0) +
+            encodeVlq(originalLine - prevOriginalLine) +
+            encodeVlq(originalColumn - prevOriginalColumn);
+          prevColumn = col;
+          prevOriginalLine = originalLine;
+          prevOriginalColumn = originalColumn;
+          return segment;
+        })
+        .join(",");
+    })
+    .join(";");
+  return {
+    version: 3,
+    file,
+    sources: [sourceName],
+    names: [],
+    mappings,
+    x_codex_regions: regions.map((r) => [r.line, r.tags.join(", ")]),
+  };
+}
+
+// ──────────────────────────────────────────────
+//  Lookups (minified position → pretty-printed)
+// ──────────────────────────────────────────────
+
+/**
+ * Lookup from 1-based positions in the minified original to the
+ * pretty-printed file: `lookup(line, column) → { line, column, region } | null`.
+ */
+function createOriginalLookup(map) {
+  const segments = decodeMappings(map.mappings).sort(
+    (a, b) => a.originalLine - b.originalLine || a.originalColumn - b.originalColumn
+  );
+  const regions = (map.x_codex_regions || []).map(([line, name]) => ({ line, name }));
+  return (line, column) => {
+    const targetLine = line - 1;
+    const targetColumn = column - 1;
+    let lo = 0;
+    let hi = segments.length - 1;
+    let found = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      const s = segments[mid];
+      if (s.originalLine < targetLine || (s.originalLine === targetLine && s.originalColumn <= targetColumn)) {
+        found = s;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    if (!found || found.originalLine !== targetLine) return null;
+    const prettyLine = found.line + 1;
+    const region = regions.filter((r) => r.line <= prettyLine).pop();
+    return {
+      line: prettyLine,
+      column: found.column + 1 + (targetColumn - found.originalColumn),
+      region: region ? region.name : null,
+    };
+  };
+}
+
+// ──────────────────────────────────────────────
+//  Build directory
+// ──────────────────────────────────────────────
+
+function isDebugBundle(name) {
+  return BUNDLES.some((re) => re.test(name));
+}
+
+/**
+ * Pretty-print the bundles of a .vite/build directory in place: <name>.js
+ * becomes the readable version, <name>.min.js keeps the original and
+ * <name>.js.map maps one to the other. The map is not linked from the file,
+ * so DevTools and stack traces show the pretty-printed code.
+ *
+ * @returns {{ file: string, bytes: number, lines: number, regions: number }[]}
+ */
+function writeDebugBuild(buildDir) {
+  const results = [];
+  for (const name of fs.readdirSync(buildDir).filter(isDebugBundle).sort()) {
+    const file = path.join(buildDir, name);
+    const minName = name.replace(/\.js$/, ".min.js");
+    const source = fs.readFileSync(file, "utf-8");
+    const { code, map, regions } = prettyPrint(source, { file: name, sourceName: minName });
+    fs.writeFileSync(path.join(buildDir, minName), source);
+    fs.writeFileSync(file, code);
+    fs.writeFileSync(`${file}.map`, JSON.stringify(map));
+    results.push({ file: name, bytes: code.length, lines: code.split("\n").length, regions: regions.length });
+  }
+  return results;
+}
+
+module.exports = {
+  BUNDLES,
+  isDebugBundle,
+  prettyPrint,
+  decodeMappings,
+  createOriginalLookup,
+  writeDebugBuild,
+};
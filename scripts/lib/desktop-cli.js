@@ -0,0 +1,75 @@
+/**
+ * codex-desktop companion CLI for a packaged build
+ *
+ * forge.config.js (packageAfterCopy) puts the CLI next to the codex binary in
+ * resources/:
+ *
+ *   codex-desktop.js    scripts/runtime/codex-desktop.js
+ *   codex-desktop       POSIX launcher (macOS / Linux)
+ *   codex-desktop.cmd   Windows launcher
+ *
+ * The launchers run codex-desktop.js with the app's own executable as Node
+ * (ELECTRON_RUN_AS_NODE, allowed by the RunAsNode fuse), so the CLI needs no
+ * Node installation and knows which app to start. They follow symlinks, so
+ * linking resources/codex-desktop into a directory on PATH works.
+ *
+ * Usage:
+ *   const { writeDesktopCli } = require("./lib/desktop-cli");
+ *   writeDesktopCli({ resourcesPath, platform, executable: branding.executable });
+ */
+const fs = require("fs");
+const path = require("path");
+
+const CLI_NAME = "codex-desktop";
+const CLI_SOURCE = path.join(__dirname, "..", "runtime", `${CLI_NAME}.js`);
+
+// resources/ → the app executable
+const EXECUTABLE_FROM_RESOURCES = {
+  darwin: (executable) => `../MacOS/${executable}`,
+  linux: (executable) => `../${executable}`,
+};
+
+function posixLauncher(platform, executable) {
+  const relative = (EXECUTABLE_FROM_RESOURCES[platform] || EXECUTABLE_FROM_RESOURCES.linux)(executable);
+  return `#!/bin/sh
+# ${CLI_NAME}: drive the running app from a terminal (${CLI_NAME} --help)
+self=$0
+while [ -L "$self" ]; do
+  link=$(readlink "$self")
+  case $link in
+    /*) self=$link ;;
+    *) self=$(dirname "$self")/$link ;;
+  esac
+done
+dir=$(CDPATH= cd -- "$(dirname -- "$self")" && pwd -P)
+ELECTRON_RUN_AS_NODE=1 exec "$dir/${relative}" "$dir/${CLI_NAME}.js" "$@"
+`;
+}
+
+function windowsLauncher(executable) {
+  return [
+    "@echo off",
+    `rem ${CLI_NAME}: drive the running app from a terminal (${CLI_NAME} --help)`,
+    "setlocal",
+    "set ELECTRON_RUN_AS_NODE=1",
+    `"%~dp0..\\${executable}.exe" "%~dp0${CLI_NAME}.js" %*`,
+    "",
+  ].join("\r\n");
+}
+
+/** Writes the CLI and its launcher(s) into resourcesPath; returns the files written */
+function writeDesktopCli({ resourcesPath, platform, executable }) {
+  const script = path.join(resourcesPath, `${CLI_NAME}.js`);
+  fs.copyFileSync(CLI_SOURCE, script);
+  if (platform === "win32") {
+    const launcher = path.join(resourcesPath, `${CLI_NAME}.cmd`);
+    fs.writeFileSync(launcher, windowsLauncher(executable));
+    return [script, launcher];
+  }
+  const launcher = path.join(resourcesPath, CLI_NAME);
+  fs.writeFileSync(launcher, posixLauncher(platform, executable));
+  fs.chmodSync(launcher, 0o755);
+  return [script, launcher];
+}
+
+module.exports = { CLI_NAME, writeDesktopCli };
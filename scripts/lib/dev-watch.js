@@ -0,0 +1,247 @@
+/**
+ * File watching for `npm run dev:watch` (scripts/start-dev.js --watch)
+ *
+ * Watches the bundles and the patch sources, re-runs the patches a change
+ * affects and tells the caller what the running app needs:
+ *
+ *   src/webview/**, .vite/build/preload*.js   patches targeting the file → reload the renderer
+ *   any other src/.vite/build file            patches targeting the file → restart the main process
+ *   scripts/patch-<id>.js                     that patch
+ *   i18n/overrides/*.json, scripts/lib/i18n.js  the i18n patch
+ *   scripts/patch.js, scripts/runtime/*,      the whole pipeline
+ *   scripts/lib/{patch-engine,branding}.js,
+ *   *-overrides.toml, branding.toml
+ *
+ * Patch scripts are re-required for every round, so an edited rule or
+ * runtime module takes effect without restarting the watcher. Files the
+ * patches write themselves are recognised by content hash and do not trigger
+ * another round.
+ *
+ * Usage:
+ *   const { createDevWatcher } = require("./lib/dev-watch");
+ *   const watcher = createDevWatcher({ onRound: (round) => … });
+ *   watcher.close();
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ROOT, BUILD_DIR, WEBVIEW_DIR } = require("./patch-engine");
+
+const DEBOUNCE_MS = 300;
+const SCRIPTS_DIR = path.join(ROOT, "scripts");
+const CONFIG_FILES = ["gate-overrides.toml", "csp-overrides.toml", "branding.toml"];
+const PIPELINE_SOURCES = [
+  path.join(SCRIPTS_DIR, "patch.js"),
+  path.join(SCRIPTS_DIR, "lib", "patch-engine.js"),
+  path.join(SCRIPTS_DIR, "lib", "branding.js"),
+];
+const RUNTIME_DIR = path.join(SCRIPTS_DIR, "runtime");
+const I18N_DIR = path.join(ROOT, "i18n");
+const I18N_SOURCES = [path.join(SCRIPTS_DIR, "lib", "i18n.js")];
+
+// Editor swap / backup files and source maps
+const IGNORED = /(?:\.map|\.swp|\.swx|\.tmp|~)$/;
+
+function hashFile(file) {
+  try {
+    return crypto.createHash("sha1").update(fs.readFileSync(file)).digest("hex");
+  } catch {
+    return null;
+  }
+}
+
+function isInside(file, dir) {
+  return file.startsWith(dir + path.sep);
+}
+
+// ──────────────────────────────────────────────
+//  Classification
+// ──────────────────────────────────────────────
+
+/** "renderer" | "main" | null: what a changed bundle file needs from the running app */
+function reloadKind(file) {
+  if (isInside(file, WEBVIEW_DIR)) return "renderer";
+  if (isInside(file, BUILD_DIR)) return /^preload.*\.js$/.test(path.basename(file)) ? "renderer" : "main";
+  return null;
+}
+
+/** Patch id for scripts/patch-<id>.js, "*" for sources every patch depends on, else null */
+function patchSource(file) {
+  if (CONFIG_FILES.includes(path.relative(ROOT, file))) return "*";
+  if (PIPELINE_SOURCES.includes(file) || (isInside(file, RUNTIME_DIR) && file.endsWith(".js"))) return "*";
+  if (I18N_SOURCES.includes(file) || (isInside(file, I18N_DIR) && file.endsWith(".json"))) return "i18n";
+  const m = path.dirname(file) === SCRIPTS_DIR && path.basename(file).match(/^patch-(.+)\.js$/);
+  return m ? m[1] : null;
+}
+
+function isWatched(file) {
+  return !IGNORED.test(file) && (reloadKind(file) !== null || patchSource(file) !== null);
+}
+
+// ──────────────────────────────────────────────
+//  Patch round
+// ──────────────────────────────────────────────
+
+/** Drop every scripts/ module from the require cache so the next round sees edits */
+function freshRequire(request) {
+  for (const id of Object.keys(require.cache)) {
+    if (isInside(id, SCRIPTS_DIR)) delete require.cache[id];
+  }
+  return require(request);
+}
+
+function targetOf(rule) {
+  try {
+    return rule.target();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Re-run the patches affected by `files`.
+ *
+ * @returns {{ files: string[], reports: object[], errors: string[], written: string[], restart: boolean, reload: boolean }}
+ */
+function runRound(files) {
+  const { applyPatch, STATUS } = freshRequire("./patch-engine");
+  const { getPipeline } = freshRequire("../patch");
+
+  const sources = new Set(files.map(patchSource).filter(Boolean));
+  const reports = [];
+  const errors = [];
+  for (const entry of getPipeline([])) {
+    let patch;
+    try {
+      patch = entry.load();
+    } catch (err) {
+      errors.push(`${entry.id}: failed to load patch: ${err.message}`);
+      continue;
+    }
+    const affected =
+      sources.has("*") ||
+      sources.has(entry.id) ||
+      patch.rules.some((rule) => files.includes(targetOf(rule)));
+    if (affected) reports.push(applyPatch(patch));
+  }
+
+  const written = [
+    ...new Set(
+      reports.flatMap((report) =>
+        report.rules.filter((r) => r.status === STATUS.APPLIED && r.file).map((r) => path.join(ROOT, r.file))
+      )
+    ),
+  ];
+  const kinds = new Set([...files, ...written].map(reloadKind));
+  return {
+    files,
+    reports,
+    errors,
+    written,
+    restart: kinds.has("main"),
+    reload: kinds.has("renderer") && !kinds.has("main"),
+  };
+}
+
+// ──────────────────────────────────────────────
+//  Watcher
+// ──────────────────────────────────────────────
+
+/**
+ * Watch `dir` and its subdirectories, one non-recursive watcher per
+ * directory. Node's recursive mode on Linux watches file inodes, so it loses
+ * files that editors or git replace instead of rewriting in place.
+ */
+function watchTree(dir, onFile, watchers = new Map()) {
+  if (watchers.has(dir)) return watchers;
+  let watcher;
+  try {
+    watcher = fs.watch(dir, (event, name) => {
+      if (!name) return;
+      const file = path.join(dir, name);
+      let stat = null;
+      try {
+        stat = fs.statSync(file);
+      } catch {
+        // deleted
+      }
+      if (stat && stat.isDirectory()) watchTree(file, onFile, watchers);
+      else onFile(file);
+    });
+  } catch {
+    return watchers; // directory vanished before it could be watched
+  }
+  watcher.on("error", () => {
+    watcher.close();
+    watchers.delete(dir);
+  });
+  watchers.set(dir, watcher);
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) watchTree(path.join(dir, entry.name), onFile, watchers);
+  }
+  return watchers;
+}
+
+/**
+ * Watch src/webview, src/.vite/build, scripts/, i18n/ and the config files; after
+ * each burst of changes, run a patch round and hand it to `onRound`.
+ */
+function createDevWatcher({ onRound, onError = (err) => console.error("❌", err.message) }) {
+  const pending = new Set();
+  const selfWrites = new Map(); // file → hash the last round left it with
+  let timer = null;
+
+  function flush() {
+    timer = null;
+    const files = [...pending];
+    pending.clear();
+    let round;
+    try {
+      round = runRound(files);
+    } catch (err) {
+      onError(err);
+      return;
+    }
+    for (const file of round.written) selfWrites.set(file, hashFile(file));
+    onRound(round);
+  }
+
+  function queue(file) {
+    if (!isWatched(file)) return;
+    if (selfWrites.has(file)) {
+      if (hashFile(file) === selfWrites.get(file)) return;
+      selfWrites.delete(file);
+    }
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(flush, DEBOUNCE_MS);
+  }
+
+  const watchers = new Map();
+  for (const dir of [WEBVIEW_DIR, BUILD_DIR, SCRIPTS_DIR, I18N_DIR]) {
+    if (fs.existsSync(dir)) watchTree(dir, queue, watchers);
+  }
+  watchers.set(
+    ROOT,
+    fs.watch(ROOT, (event, name) => {
+      if (!name) return;
+      const file = path.join(ROOT, name);
+      if (file === I18N_DIR && fs.existsSync(file)) watchTree(file, queue, watchers);
+      else queue(file);
+    })
+  );
+
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+    },
+  };
+}
+
+module.exports = {
+  reloadKind,
+  patchSource,
+  runRound,
+  createDevWatcher,
+};
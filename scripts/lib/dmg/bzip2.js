@@ -0,0 +1,345 @@
+/**
+ * bzip2 decompressor (pure JS)
+ *
+ * Node's zlib has no bzip2 support, but UDBZ DMGs store their chunks as
+ * bzip2 streams (chunk type 0x80000006). This is a straightforward
+ * implementation of the bzip2 file format: Huffman → MTF/RLE2 →
+ * inverse BWT → RLE1, with block and stream CRC verification.
+ */
+
+const BLOCK_MAGIC_HI = 0x314159;
+const BLOCK_MAGIC_LO = 0x265359;
+const EOS_MAGIC_HI = 0x177245;
+const EOS_MAGIC_LO = 0x385090;
+
+const MAX_GROUPS = 6;
+const GROUP_SIZE = 50;
+const MAX_CODE_LEN = 20;
+
+class Bzip2Error extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "Bzip2Error";
+  }
+}
+
+// CRC-32 (MSB-first, polynomial 0x04c11db7) as used by bzip2
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i << 24;
+    for (let j = 0; j < 8; j++) c = c & 0x80000000 ? (c << 1) ^ 0x04c11db7 : c << 1;
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+// ──────────────────────────────────────────────
+//  Bit reader (MSB first)
+// ──────────────────────────────────────────────
+
+class BitReader {
+  constructor(buf) {
+    this.buf = buf;
+    this.pos = 0; // byte position
+    this.bitBuf = 0;
+    this.bitCount = 0;
+  }
+
+  bits(n) {
+    while (this.bitCount < n) {
+      if (this.pos >= this.buf.length) throw new Bzip2Error("unexpected end of data");
+      this.bitBuf = ((this.bitBuf << 8) | this.buf[this.pos++]) >>> 0;
+      this.bitCount += 8;
+    }
+    this.bitCount -= n;
+    const v = (this.bitBuf >>> this.bitCount) & ((1 << n) - 1);
+    this.bitBuf &= (1 << this.bitCount) - 1;
+    return v;
+  }
+
+  bit() {
+    return this.bits(1);
+  }
+
+  /** Align to the next byte boundary (between concatenated streams) */
+  align() {
+    this.bitBuf = 0;
+    this.bitCount = 0;
+  }
+
+  atEnd() {
+    return this.pos >= this.buf.length && this.bitCount === 0;
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Huffman tables
+// ──────────────────────────────────────────────
+
+/** Canonical Huffman decode tables (limit / base / perm), as in bzip2's hbCreateDecodeTables */
+function createDecodeTable(lengths, alphaSize) {
+  let minLen = 32;
+  let maxLen = 0;
+  for (let i = 0; i < alphaSize; i++) {
+    if (lengths[i] > maxLen) maxLen = lengths[i];
+    if (lengths[i] < minLen) minLen = lengths[i];
+  }
+
+  const perm = new Int32Array(alphaSize);
+  let pp = 0;
+  for (let len = minLen; len <= maxLen; len++) {
+    for (let s = 0; s < alphaSize; s++) if (lengths[s] === len) perm[pp++] = s;
+  }
+
+  const base = new Int32Array(MAX_CODE_LEN + 2);
+  const limit = new Int32Array(MAX_CODE_LEN + 1).fill(0);
+  for (let s = 0; s < alphaSize; s++) base[lengths[s] + 1]++;
+  for (let i = 1; i < base.length; i++) base[i] += base[i - 1];
+
+  let vec = 0;
+  for (let len = minLen; len <= maxLen; len++) {
+    vec += base[len + 1] - base[len];
+    limit[len] = vec - 1;
+    vec <<= 1;
+  }
+  for (let len = minLen + 1; len <= maxLen; len++) {
+    base[len] = ((limit[len - 1] + 1) << 1) - base[len];
+  }
+
+  return { minLen, maxLen, limit, base, perm };
+}
+
+function decodeSymbol(reader, table) {
+  let len = table.minLen;
+  let code = reader.bits(len);
+  while (len <= table.maxLen) {
+    if (code <= table.limit[len]) return table.perm[code - table.base[len]];
+    code = (code << 1) | reader.bit();
+    len++;
+  }
+  throw new Bzip2Error("invalid Huffman code");
+}
+
+// ──────────────────────────────────────────────
+//  Block decoding
+// ──────────────────────────────────────────────
+
+function decodeBlock(reader, blockSizeMax, out) {
+  const expectedCrc = reader.bits(16) * 65536 + reader.bits(16);
+  if (reader.bit()) throw new Bzip2Error("randomised blocks are not supported");
+  const origPtr = reader.bits(24);
+
+  // Symbol map
+  const inUse16 = reader.bits(16);
+  const seqToUnseq = [];
+  for (let i = 0; i < 16; i++) {
+    if (inUse16 & (0x8000 >> i)) {
+      const bits = reader.bits(16);
+      for (let j = 0; j < 16; j++) if (bits & (0x8000 >> j)) seqToUnseq.push(i * 16 + j);
+    }
+  }
+  if (seqToUnseq.length === 0) throw new Bzip2Error("empty symbol map");
+  const alphaSize = seqToUnseq.length + 2;
+
+  // Selectors
+  const nGroups = reader.bits(3);
+  if (nGroups < 2 || nGroups > MAX_GROUPS) throw new Bzip2Error("invalid Huffman group count");
+  const nSelectors = reader.bits(15);
+  if (nSelectors < 1) throw new Bzip2Error("invalid selector count");
+  const mtfGroups = [0, 1, 2, 3, 4, 5].slice(0, nGroups);
+  const selectors = new Uint8Array(nSelectors);
+  for (let i = 0; i < nSelectors; i++) {
+    let j = 0;
+    while (reader.bit()) {
+      j++;
+      if (j >= nGroups) throw new Bzip2Error("invalid selector");
+    }
+    const v = mtfGroups[j];
+    mtfGroups.splice(j, 1);
+    mtfGroups.unshift(v);
+    selectors[i] = v;
+  }
+
+  // Code lengths (delta coded)
+  const tables = [];
+  for (let t = 0; t < nGroups; t++) {
+    const lengths = new Uint8Array(alphaSize);
+    let len = reader.bits(5);
+    for (let s = 0; s < alphaSize; s++) {
+      for (;;) {
+        if (len < 1 || len > MAX_CODE_LEN) throw new Bzip2Error("invalid code length");
+        if (!reader.bit()) break;
+        len += reader.bit() ? -1 : 1;
+      }
+      lengths[s] = len;
+    }
+    tables.push(createDecodeTable(lengths, alphaSize));
+  }
+
+  // Huffman + MTF + RLE2 → tt[]
+  const EOB = alphaSize - 1;
+  const tt = new Uint32Array(blockSizeMax);
+  const unzftab = new Int32Array(256);
+  const mtf = Uint8Array.from(seqToUnseq);
+  let count = 0;
+  let groupIndex = -1;
+  let groupLeft = 0;
+  let table = null;
+  let runLength = 0;
+  let runWeight = 1;
+
+  const nextSymbol = () => {
+    if (groupLeft === 0) {
+      groupIndex++;
+      if (groupIndex >= nSelectors) throw new Bzip2Error("selector overflow");
+      table = tables[selectors[groupIndex]];
+      groupLeft = GROUP_SIZE;
+    }
+    groupLeft--;
+    return decodeSymbol(reader, table);
+  };
+
+  const flushRun = () => {
+    if (runLength === 0) return;
+    const b = mtf[0];
+    if (count + runLength > blockSizeMax) throw new Bzip2Error("block overflow");
+    unzftab[b] += runLength;
+    for (let i = 0; i < runLength; i++) tt[count++] = b;
+    runLength = 0;
+    runWeight = 1;
+  };
+
+  for (;;) {
+    const sym = nextSymbol();
+    if (sym === 0 || sym === 1) {
+      // RUNA / RUNB: bijective base-2 run length
+      runLength += (sym + 1) * runWeight;
+      runWeight <<= 1;
+      continue;
+    }
+    flushRun();
+    if (sym === EOB) break;
+    const idx = sym - 1;
+    const b = mtf[idx];
+    for (let k = idx; k > 0; k--) mtf[k] = mtf[k - 1];
+    mtf[0] = b;
+    if (count >= blockSizeMax) throw new Bzip2Error("block overflow");
+    unzftab[b]++;
+    tt[count++] = b;
+  }
+  if (origPtr >= count) throw new Bzip2Error("invalid BWT origin pointer");
+
+  // Inverse BWT
+  const cftab = new Int32Array(257);
+  for (let i = 0; i < 256; i++) cftab[i + 1] = cftab[i] + unzftab[i];
+  for (let i = 0; i < count; i++) {
+    const b = tt[i] & 0xff;
+    tt[cftab[b]++] |= i << 8;
+  }
+
+  // RLE1 decode while walking the BWT chain
+  let crc = 0xffffffff;
+  let pos = tt[origPtr] >>> 8;
+  let last = -1;
+  let repeat = 0;
+  const emit = (b) => {
+    out.push(b);
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ b) & 0xff]) >>> 0;
+  };
+
+  for (let i = 0; i < count; i++) {
+    const entry = tt[pos];
+    const b = entry & 0xff;
+    pos = entry >>> 8;
+    if (repeat === 4) {
+      for (let r = 0; r < b; r++) emit(last);
+      repeat = 0;
+      last = -1;
+      continue;
+    }
+    if (b === last) {
+      repeat++;
+    } else {
+      repeat = 1;
+      last = b;
+    }
+    emit(b);
+  }
+
+  crc = ~crc >>> 0;
+  if (crc !== expectedCrc) throw new Bzip2Error("block CRC mismatch");
+  return crc;
+}
+
+// ──────────────────────────────────────────────
+//  Growable byte sink
+// ──────────────────────────────────────────────
+
+class ByteSink {
+  constructor(sizeHint) {
+    this.buf = Buffer.allocUnsafe(Math.max(sizeHint || 0, 65536));
+    this.length = 0;
+  }
+
+  push(b) {
+    if (this.length === this.buf.length) {
+      const next = Buffer.allocUnsafe(this.buf.length * 2);
+      this.buf.copy(next, 0, 0, this.length);
+      this.buf = next;
+    }
+    this.buf[this.length++] = b;
+  }
+
+  result() {
+    return this.buf.subarray(0, this.length);
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Public API
+// ──────────────────────────────────────────────
+
+/**
+ * Decompress one or more concatenated bzip2 streams.
+ *
+ * @param {Buffer} src
+ * @param {number} [sizeHint]  expected decompressed size, if known
+ * @returns {Buffer}
+ */
+function decompressBzip2(src, sizeHint) {
+  const reader = new BitReader(src);
+  const out = new ByteSink(sizeHint);
+
+  do {
+    // Stream header: "BZh" + level
+    if (reader.bits(8) !== 0x42 || reader.bits(8) !== 0x5a || reader.bits(8) !== 0x68) {
+      throw new Bzip2Error("not a bzip2 stream");
+    }
+    const level = reader.bits(8) - 0x30;
+    if (level < 1 || level > 9) throw new Bzip2Error("invalid bzip2 block size");
+    const blockSizeMax = level * 100000;
+
+    let combinedCrc = 0;
+    for (;;) {
+      const hi = reader.bits(24);
+      const lo = reader.bits(24);
+      if (hi === BLOCK_MAGIC_HI && lo === BLOCK_MAGIC_LO) {
+        const blockCrc = decodeBlock(reader, blockSizeMax, out);
+        combinedCrc = (((combinedCrc << 1) | (combinedCrc >>> 31)) ^ blockCrc) >>> 0;
+        continue;
+      }
+      if (hi === EOS_MAGIC_HI && lo === EOS_MAGIC_LO) {
+        const streamCrc = reader.bits(16) * 65536 + reader.bits(16);
+        if (streamCrc !== combinedCrc) throw new Bzip2Error("stream CRC mismatch");
+        break;
+      }
+      throw new Bzip2Error("invalid block magic");
+    }
+    reader.align();
+  } while (!reader.atEnd());
+
+  return out.result();
+}
+
+module.exports = { decompressBzip2, Bzip2Error };
@@ -0,0 +1,449 @@
+/**
+ * Read-only HFS+ / HFSX volume reader
+ *
+ * Works on top of any object with `read(offset, length) → Buffer` (a UDIF
+ * partition). Supports what is needed to pull files out of an app bundle:
+ *
+ *   • catalog B-tree (folders, files, symlinks)
+ *   • extents-overflow B-tree for fragmented forks
+ *   • attributes B-tree + decmpfs for transparently compressed files
+ *     (zlib types 3/4, LZVN types 7/8, LZFSE types 11/12)
+ *
+ * The catalog is indexed once by a linear walk over its leaf nodes, which
+ * sidesteps HFS+'s case-folding key comparison entirely.
+ */
+const fs = require("fs");
+const zlib = require("zlib");
+const { decompressLzvn, decompressLzfse } = require("./lzfse");
+
+const VOLUME_HEADER_OFFSET = 1024;
+const SIG_HFSPLUS = 0x482b; // H+
+const SIG_HFSX = 0x4858; // HX
+
+const ROOT_FOLDER_ID = 2;
+const EXTENTS_FILE_ID = 3;
+const CATALOG_FILE_ID = 4;
+
+const NODE_LEAF = -1;
+
+const RECORD_FOLDER = 1;
+const RECORD_FILE = 2;
+const RECORD_FOLDER_THREAD = 3;
+
+const FORK_DATA = 0x00;
+const FORK_RESOURCE = 0xff;
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const UF_COMPRESSED = 0x20;
+
+const ATTR_INLINE_DATA = 0x10;
+const DECMPFS_XATTR = "com.apple.decmpfs";
+const DECMPFS_MAGIC = 0x636d7066; // "fpmc" read little-endian
+const DECMPFS_BLOCK_SIZE = 65536;
+
+const MAX_SYMLINK_DEPTH = 16;
+const COPY_CHUNK = 4 * 1024 * 1024;
+
+class HfsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "HfsError";
+  }
+}
+
+function readU64(buf, offset) {
+  return buf.readUInt32BE(offset) * 4294967296 + buf.readUInt32BE(offset + 4);
+}
+
+function parseForkData(buf, offset) {
+  const extents = [];
+  for (let i = 0; i < 8; i++) {
+    const o = offset + 16 + i * 8;
+    const blockCount = buf.readUInt32BE(o + 4);
+    if (blockCount === 0) break;
+    extents.push({ startBlock: buf.readUInt32BE(o), blockCount });
+  }
+  return {
+    logicalSize: readU64(buf, offset),
+    totalBlocks: buf.readUInt32BE(offset + 12),
+    extents,
+  };
+}
+
+function readUniStr(buf, offset) {
+  const length = buf.readUInt16BE(offset);
+  let s = "";
+  for (let i = 0; i < length; i++) s += String.fromCharCode(buf.readUInt16BE(offset + 2 + i * 2));
+  return s;
+}
+
+/** HFS+ stores names decomposed (NFD); compare in NFC */
+function normalizeName(name) {
+  return name.normalize("NFC");
+}
+
+class HfsVolume {
+  /**
+   * @param {{ read(offset: number, length: number): Buffer }} device
+   */
+  constructor(device) {
+    this.device = device;
+
+    const vh = device.read(VOLUME_HEADER_OFFSET, 512);
+    const signature = vh.readUInt16BE(0);
+    if (signature !== SIG_HFSPLUS && signature !== SIG_HFSX) {
+      throw new HfsError("no HFS+ volume header found");
+    }
+    this.caseSensitive = signature === SIG_HFSX;
+    this.blockSize = vh.readUInt32BE(40);
+    this.extentsFork = parseForkData(vh, 192);
+    this.catalogFork = parseForkData(vh, 272);
+    this.attributesFork = parseForkData(vh, 352);
+
+    this.extentsTree = this.openBTree(this.extentsFork, EXTENTS_FILE_ID);
+    this.overflow = this.indexExtentsOverflow();
+    this.catalogTree = this.openBTree(this.catalogFork, CATALOG_FILE_ID);
+    this.indexCatalog();
+    this.attributes = null; // indexed lazily, only compressed files need it
+  }
+
+  // ──────────────────────────────────────────────
+  //  Forks
+  // ──────────────────────────────────────────────
+
+  /** Full extent list of a fork, including extents-overflow records */
+  forkExtents(fork, fileId, forkType) {
+    const extents = fork.extents.slice();
+    let blocks = extents.reduce((n, e) => n + e.blockCount, 0);
+    if (blocks < fork.totalBlocks) {
+      if (!this.overflow) throw new HfsError(`fork of file ${fileId} needs the extents-overflow file`);
+      const more = this.overflow.get(`${fileId}:${forkType}`) || [];
+      for (const rec of more) {
+        if (rec.startBlock !== blocks) continue;
+        extents.push(...rec.extents);
+        blocks += rec.extents.reduce((n, e) => n + e.blockCount, 0);
+      }
+      if (blocks < fork.totalBlocks) throw new HfsError(`incomplete extents for file ${fileId}`);
+    }
+    return extents;
+  }
+
+  /**
+   * Read [offset, offset + length) of a fork.
+   * @returns {Buffer}
+   */
+  readFork(fork, fileId, forkType, offset = 0, length = fork.logicalSize - offset) {
+    const extents = fork.extentsResolved || (fork.extentsResolved = this.forkExtents(fork, fileId, forkType));
+    const out = Buffer.alloc(length);
+    let done = 0;
+    let extentStart = 0; // fork offset of the current extent
+    for (const e of extents) {
+      const extentBytes = e.blockCount * this.blockSize;
+      const pos = offset + done;
+      if (done >= length) break;
+      if (pos < extentStart + extentBytes) {
+        const within = pos - extentStart;
+        const n = Math.min(length - done, extentBytes - within);
+        this.device.read(e.startBlock * this.blockSize + within, n).copy(out, done);
+        done += n;
+      }
+      extentStart += extentBytes;
+    }
+    if (done < length) throw new HfsError(`short read on file ${fileId}`);
+    return out;
+  }
+
+  // ──────────────────────────────────────────────
+  //  B-trees
+  // ──────────────────────────────────────────────
+
+  openBTree(fork, fileId) {
+    if (fork.logicalSize === 0) return null;
+    const tree = { fork, fileId, nodeSize: 512 };
+    const header = this.readFork(fork, fileId, FORK_DATA, 0, 512);
+    // BTHeaderRec follows the 14-byte node descriptor
+    tree.firstLeafNode = header.readUInt32BE(14 + 10);
+    tree.nodeSize = header.readUInt16BE(14 + 18);
+    return tree;
+  }
+
+  readNode(tree, index) {
+    return this.readFork(tree.fork, tree.fileId, FORK_DATA, index * tree.nodeSize, tree.nodeSize);
+  }
+
+  /** Yield every leaf record buffer, following the leaf chain */
+  *leafRecords(tree) {
+    if (!tree) return;
+    let index = tree.firstLeafNode;
+    const visited = new Set();
+    while (index !== 0) {
+      if (visited.has(index)) throw new HfsError("B-tree leaf chain loops");
+      visited.add(index);
+      const node = this.readNode(tree, index);
+      const kind = node.readInt8(8);
+      if (kind !== NODE_LEAF) throw new HfsError(`expected leaf node at ${index}`);
+      const numRecords = node.readUInt16BE(10);
+      for (let r = 0; r < numRecords; r++) {
+        const start = node.readUInt16BE(tree.nodeSize - 2 * (r + 1));
+        const end = node.readUInt16BE(tree.nodeSize - 2 * (r + 2));
+        yield node.subarray(start, end);
+      }
+      index = node.readUInt32BE(0); // fLink
+    }
+  }
+
+  indexExtentsOverflow() {
+    const map = new Map();
+    for (const rec of this.leafRecords(this.extentsTree)) {
+      const keyLength = rec.readUInt16BE(0);
+      const forkType = rec[2];
+      const fileId = rec.readUInt32BE(4);
+      const startBlock = rec.readUInt32BE(8);
+      const data = 2 + keyLength;
+      const extents = [];
+      for (let i = 0; i < 8; i++) {
+        const blockCount = rec.readUInt32BE(data + i * 8 + 4);
+        if (blockCount === 0) break;
+        extents.push({ startBlock: rec.readUInt32BE(data + i * 8), blockCount });
+      }
+      const key = `${fileId}:${forkType}`;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push({ startBlock, extents });
+    }
+    for (const list of map.values()) list.sort((a, b) => a.startBlock - b.startBlock);
+    return map;
+  }
+
+  indexCatalog() {
+    this.children = new Map(); // parentID → Map(name → entry)
+    this.volumeName = null;
+
+    for (const rec of this.leafRecords(this.catalogTree)) {
+      const keyLength = rec.readUInt16BE(0);
+      const parentId = rec.readUInt32BE(2);
+      const name = normalizeName(readUniStr(rec, 6));
+      const d = 2 + keyLength + (keyLength % 2); // records start on an even offset
+      const type = rec.readInt16BE(d);
+
+      if (type === RECORD_FOLDER_THREAD) {
+        // Thread of the root folder carries the volume name
+        const threadParent = rec.readUInt32BE(d + 4);
+        if (parentId === ROOT_FOLDER_ID && threadParent === 1) {
+          this.volumeName = normalizeName(readUniStr(rec, d + 8));
+        }
+        continue;
+      }
+
+      let entry;
+      if (type === RECORD_FOLDER) {
+        entry = { type: "folder", name, id: rec.readUInt32BE(d + 8) };
+      } else if (type === RECORD_FILE) {
+        const mode = rec.readUInt16BE(d + 42);
+        entry = {
+          type: (mode & S_IFMT) === S_IFLNK ? "symlink" : "file",
+          name,
+          id: rec.readUInt32BE(d + 8),
+          mode: mode & 0o7777,
+          compressed: (rec[d + 41] & UF_COMPRESSED) !== 0,
+          dataFork: parseForkData(rec, d + 88),
+          resourceFork: parseForkData(rec, d + 168),
+        };
+      } else {
+        continue; // file thread
+      }
+
+      if (!this.children.has(parentId)) this.children.set(parentId, new Map());
+      this.children.get(parentId).set(name, entry);
+    }
+  }
+
+  // ──────────────────────────────────────────────
+  //  Path lookup
+  // ──────────────────────────────────────────────
+
+  childOf(folderId, name) {
+    const entries = this.children.get(folderId);
+    if (!entries) return null;
+    const wanted = normalizeName(name);
+    if (entries.has(wanted)) return entries.get(wanted);
+    if (this.caseSensitive) return null;
+    const lower = wanted.toLowerCase();
+    for (const [n, e] of entries) if (n.toLowerCase() === lower) return e;
+    return null;
+  }
+
+  /**
+   * Resolve a slash-separated path relative to the volume root.
+   * A leading component equal to the volume name is skipped, so both
+   * "Codex.app/Contents" and "Codex Installer/Codex.app/Contents" work.
+   *
+   * @returns {object|null} catalog entry
+   */
+  lookup(filePath, depth = 0) {
+    if (depth > MAX_SYMLINK_DEPTH) throw new HfsError(`too many symlinks resolving ${filePath}`);
+    const parts = filePath.split("/").filter((p) => p && p !== ".");
+    if (parts.length && this.volumeName && parts[0] === this.volumeName && !this.childOf(ROOT_FOLDER_ID, parts[0])) {
+      parts.shift();
+    }
+
+    let folder = { type: "folder", id: ROOT_FOLDER_ID, name: this.volumeName || "" };
+    const walked = [];
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i] === "..") {
+        walked.pop();
+        return this.lookup([...walked, ...parts.slice(i + 1)].join("/"), depth + 1);
+      }
+      let entry = this.childOf(folder.id, parts[i]);
+      if (!entry) return null;
+      if (entry.type === "symlink" && i < parts.length - 1) {
+        const target = this.readFile(entry).toString("utf-8");
+        if (target.startsWith("/")) throw new HfsError(`absolute symlink ${parts[i]} → ${target}`);
+        return this.lookup([...walked, target, ...parts.slice(i + 1)].join("/"), depth + 1);
+      }
+      walked.push(parts[i]);
+      if (i < parts.length - 1 && entry.type !== "folder") return null;
+      folder = entry;
+    }
+    return folder;
+  }
+
+  /** Names in a folder (for diagnostics) */
+  list(folderPath = "") {
+    const entry = this.lookup(folderPath);
+    if (!entry || entry.type !== "folder") throw new HfsError(`not a folder: ${folderPath}`);
+    return [...(this.children.get(entry.id)?.values() || [])].map((e) => ({ name: e.name, type: e.type }));
+  }
+
+  // ──────────────────────────────────────────────
+  //  File contents
+  // ──────────────────────────────────────────────
+
+  attributeIndex() {
+    if (this.attributes) return this.attributes;
+    this.attributes = new Map();
+    const tree = this.openBTree(this.attributesFork, 8);
+    for (const rec of this.leafRecords(tree)) {
+      const keyLength = rec.readUInt16BE(0);
+      const fileId = rec.readUInt32BE(4);
+      const name = readUniStr(rec, 12);
+      if (name !== DECMPFS_XATTR) continue;
+      const d = 2 + keyLength + (keyLength % 2);
+      if (rec.readUInt32BE(d) !== ATTR_INLINE_DATA) continue;
+      const size = rec.readUInt32BE(d + 12);
+      this.attributes.set(fileId, Buffer.from(rec.subarray(d + 16, d + 16 + size)));
+    }
+    return this.attributes;
+  }
+
+  /** Decompress a decmpfs-compressed file */
+  readCompressed(entry) {
+    const xattr = this.attributeIndex().get(entry.id);
+    if (!xattr || xattr.readUInt32LE(0) !== DECMPFS_MAGIC) {
+      throw new HfsError(`${entry.name}: compressed file without decmpfs header`);
+    }
+    const type = xattr.readUInt32LE(4);
+    const size = xattr.readUInt32LE(8) + xattr.readUInt32LE(12) * 4294967296;
+    const inline = xattr.subarray(16);
+
+    switch (type) {
+      case 3: // zlib, inline
+        return inline[0] === 0xff ? Buffer.from(inline.subarray(1, 1 + size)) : zlib.inflateSync(inline);
+      case 7: // LZVN, inline
+        return inline[0] === 0x06 ? Buffer.from(inline.subarray(1, 1 + size)) : decompressLzvn(inline, size);
+      case 11: // LZFSE, inline
+        return inline[0] === 0xff ? Buffer.from(inline.subarray(1, 1 + size)) : decompressLzfse(inline, size);
+      case 4:
+        return this.readZlibResource(entry, size);
+      case 8:
+      case 12:
+        return this.readBlockTableResource(entry, size, type);
+      default:
+        throw new HfsError(`${entry.name}: unsupported decmpfs compression type ${type}`);
+    }
+  }
+
+  /** decmpfs type 4: zlib blocks inside a resource-fork "cmpf" resource */
+  readZlibResource(entry, size) {
+    const rsrc = this.readFork(entry.resourceFork, entry.id, FORK_RESOURCE);
+    const dataOffset = rsrc.readUInt32BE(0);
+    const base = dataOffset + 4; // skip the resource length
+    const count = rsrc.readUInt32LE(base);
+    const out = Buffer.alloc(size);
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+      const offset = rsrc.readUInt32LE(base + 4 + i * 8);
+      const length = rsrc.readUInt32LE(base + 8 + i * 8);
+      const block = rsrc.subarray(base + offset, base + offset + length);
+      const data = block[0] === 0xff ? block.subarray(1) : zlib.inflateSync(block);
+      data.copy(out, pos);
+      pos += data.length;
+    }
+    if (pos !== size) throw new HfsError(`${entry.name}: decompressed ${pos} bytes, expected ${size}`);
+    return out;
+  }
+
+  /** decmpfs types 8 / 12: LZVN / LZFSE blocks behind an offset table */
+  readBlockTableResource(entry, size, type) {
+    const rsrc = this.readFork(entry.resourceFork, entry.id, FORK_RESOURCE);
+    const count = Math.ceil(size / DECMPFS_BLOCK_SIZE);
+    const out = Buffer.alloc(size);
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+      const start = rsrc.readUInt32LE(i * 4);
+      const end = rsrc.readUInt32LE((i + 1) * 4);
+      const block = rsrc.subarray(start, end);
+      const expected = Math.min(DECMPFS_BLOCK_SIZE, size - pos);
+      let data;
+      if (type === 8) {
+        data = block[0] === 0x06 ? block.subarray(1) : decompressLzvn(block, expected);
+      } else {
+        data = block[0] === 0xff ? block.subarray(1) : decompressLzfse(block, expected);
+      }
+      data.copy(out, pos);
+      pos += data.length;
+    }
+    if (pos !== size) throw new HfsError(`${entry.name}: decompressed ${pos} bytes, expected ${size}`);
+    return out;
+  }
+
+  /**
+   * Whole file contents (data fork, or decompressed decmpfs data).
+   * @returns {Buffer}
+   */
+  readFile(entry) {
+    if (entry.type === "folder") throw new HfsError(`${entry.name} is a folder`);
+    if (entry.compressed) return this.readCompressed(entry);
+    return this.readFork(entry.dataFork, entry.id, FORK_DATA);
+  }
+
+  /**
+   * Copy a file to disk in bounded chunks, so large files (app.asar) are
+   * never held in memory at once. Compressed files are decoded whole.
+   *
+   * @returns {number} bytes written
+   */
+  extractTo(entry, destPath) {
+    let size;
+    if (entry.compressed || entry.type === "symlink") {
+      const data = this.readFile(entry);
+      fs.writeFileSync(destPath, data);
+      size = data.length;
+    } else {
+      size = entry.dataFork.logicalSize;
+      const fd = fs.openSync(destPath, "w");
+      try {
+        for (let offset = 0; offset < size; offset += COPY_CHUNK) {
+          const chunk = this.readFork(entry.dataFork, entry.id, FORK_DATA, offset, Math.min(COPY_CHUNK, size - offset));
+          fs.writeSync(fd, chunk);
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+    if (entry.mode) fs.chmodSync(destPath, entry.mode);
+    return size;
+  }
+}
+
+module.exports = { HfsVolume, HfsError };
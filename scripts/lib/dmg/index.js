@@ -0,0 +1,79 @@
+/**
+ * Pure-JS DMG extraction
+ *
+ * Opens a UDIF disk image, finds its HFS+ partition and copies individual
+ * files out of it — no 7-Zip, hdiutil or native modules required.
+ *
+ * Usage:
+ *   const { openDmg } = require("./lib/dmg");
+ *   const dmg = openDmg("Codex.dmg");
+ *   try {
+ *     dmg.extract("Codex.app/Contents/Resources/app.asar", "/tmp/app.asar");
+ *   } finally {
+ *     dmg.close();
+ *   }
+ */
+const { DmgImage, DmgError } = require("./udif");
+const { HfsVolume, HfsError } = require("./hfsplus");
+
+const APFS_MAGIC = "NXSB";
+
+/** Pick the partition that carries an HFS+ / HFSX volume */
+function findHfsPartition(image) {
+  const seen = [];
+  for (const partition of image.partitions) {
+    if (partition.size < 1536) continue;
+    const header = partition.read(0, 1536);
+    const sig = header.toString("latin1", 1024, 1026);
+    if (sig === "H+" || sig === "HX") return partition;
+    if (header.toString("latin1", 32, 36) === APFS_MAGIC) seen.push(`${partition.name} (APFS)`);
+    else seen.push(partition.name);
+  }
+  throw new DmgError(
+    `no HFS+ partition found in DMG (partitions: ${seen.join(", ") || "none"}); APFS images are not supported`
+  );
+}
+
+/**
+ * Open a DMG for reading.
+ *
+ * @param {string} dmgPath
+ * @returns {{ volumeName: string|null, exists(p: string): boolean, list(p?: string): object[],
+ *             read(p: string): Buffer, extract(p: string, dest: string): number, close(): void }}
+ */
+function openDmg(dmgPath) {
+  const image = new DmgImage(dmgPath);
+  let volume;
+  try {
+    volume = new HfsVolume(findHfsPartition(image));
+  } catch (err) {
+    image.close();
+    throw err;
+  }
+
+  const resolveFile = (innerPath) => {
+    const entry = volume.lookup(innerPath);
+    if (!entry) throw new DmgError(`not found in DMG: ${innerPath}`);
+    if (entry.type === "folder") throw new DmgError(`is a folder, not a file: ${innerPath}`);
+    return entry;
+  };
+
+  return {
+    volumeName: volume.volumeName,
+
+    exists: (innerPath) => volume.lookup(innerPath) !== null,
+
+    list: (innerPath = "") => volume.list(innerPath),
+
+    read: (innerPath) => volume.readFile(resolveFile(innerPath)),
+
+    /** Copy a file out of the DMG; returns its size in bytes */
+    extract(innerPath, destPath) {
+      return volume.extractTo(resolveFile(innerPath), destPath);
+    },
+
+    close: () => image.close(),
+  };
+}
+
+module.exports = { openDmg, DmgError, HfsError };
@@ -0,0 +1,555 @@
+/**
+ * LZFSE / LZVN decompressor (pure JS)
+ *
+ * Port of the decoder half of Apple's reference implementation
+ * (github.com/lzfse/lzfse). Used for ULFO DMG chunks and for
+ * LZVN / LZFSE-compressed HFS+ files (decmpfs types 7/8, 11/12).
+ *
+ * Block magics handled:
+ *   bvx-  uncompressed block
+ *   bvx1  LZFSE block, v1 (unpacked) header
+ *   bvx2  LZFSE block, v2 (packed) header
+ *   bvxn  LZVN block
+ *   bvx$  end of stream
+ *
+ * The FSE bit streams are read with the 32-bit accumulator variant of the
+ * reference decoder so that every intermediate value stays within JS
+ * bitwise-operator range.
+ */
+
+const MAGIC_END = 0x24787662; // bvx$
+const MAGIC_RAW = 0x2d787662; // bvx-
+const MAGIC_V1 = 0x31787662; // bvx1
+const MAGIC_V2 = 0x32787662; // bvx2
+const MAGIC_LZVN = 0x6e787662; // bvxn
+
+const L_SYMBOLS = 20;
+const M_SYMBOLS = 20;
+const D_SYMBOLS = 64;
+const LITERAL_SYMBOLS = 256;
+const L_STATES = 64;
+const M_STATES = 64;
+const D_STATES = 256;
+const LITERAL_STATES = 1024;
+
+const L_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 3, 5, 8];
+const M_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 3, 5, 8, 11];
+// 0,0,0,0, 1,1,1,1, 2,2,2,2, ... 15,15,15,15
+const D_EXTRA_BITS = Array.from({ length: D_SYMBOLS }, (_, i) => i >> 2);
+
+/** base[i + 1] = base[i] + (1 << extra[i]) — matches the reference tables */
+function baseValues(extraBits) {
+  const base = new Array(extraBits.length);
+  let v = 0;
+  for (let i = 0; i < extraBits.length; i++) {
+    base[i] = v;
+    v += 1 << extraBits[i];
+  }
+  return base;
+}
+
+const L_BASE_VALUE = baseValues(L_EXTRA_BITS);
+const M_BASE_VALUE = baseValues(M_EXTRA_BITS);
+const D_BASE_VALUE = baseValues(D_EXTRA_BITS);
+
+class LzfseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LzfseError";
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Growable output buffer
+// ──────────────────────────────────────────────
+
+class Output {
+  constructor(sizeHint) {
+    this.buf = Buffer.allocUnsafe(Math.max(sizeHint || 0, 4096));
+    this.pos = 0;
+  }
+
+  ensure(n) {
+    if (this.pos + n <= this.buf.length) return;
+    let size = this.buf.length * 2;
+    while (size < this.pos + n) size *= 2;
+    const next = Buffer.allocUnsafe(size);
+    this.buf.copy(next, 0, 0, this.pos);
+    this.buf = next;
+  }
+
+  /** LZ match copy — may overlap, so copy byte by byte when D < M */
+  copyMatch(distance, length) {
+    if (distance <= 0 || distance > this.pos) {
+      throw new LzfseError(`invalid match distance ${distance} at ${this.pos}`);
+    }
+    this.ensure(length);
+    const buf = this.buf;
+    let src = this.pos - distance;
+    if (distance >= length) {
+      buf.copy(buf, this.pos, src, src + length);
+      this.pos += length;
+      return;
+    }
+    for (let i = 0; i < length; i++) buf[this.pos++] = buf[src++];
+  }
+
+  result() {
+    return this.buf.subarray(0, this.pos);
+  }
+}
+
+// ──────────────────────────────────────────────
+//  FSE
+// ──────────────────────────────────────────────
+
+/** Decoder table for literals: per state { k, symbol, delta } */
+function initDecoderTable(nStates, nSymbols, freq, freqOffset) {
+  const k = new Uint8Array(nStates);
+  const symbol = new Uint8Array(nStates);
+  const delta = new Int32Array(nStates);
+  const nClz = Math.clz32(nStates);
+  let sum = 0;
+  let t = 0;
+  for (let i = 0; i < nSymbols; i++) {
+    const f = freq[freqOffset + i];
+    if (f === 0) continue;
+    sum += f;
+    if (sum > nStates) throw new LzfseError("invalid literal frequency table");
+    const kk = Math.clz32(f) - nClz;
+    const j0 = ((2 * nStates) >> kk) - f;
+    for (let j = 0; j < f; j++, t++) {
+      symbol[t] = i;
+      if (j < j0) {
+        k[t] = kk;
+        delta[t] = ((f + j) << kk) - nStates;
+      } else {
+        k[t] = kk - 1;
+        delta[t] = (j - j0) << (kk - 1);
+      }
+    }
+  }
+  return { k, symbol, delta };
+}
+
+/** Decoder table for L / M / D values: per state { totalBits, valueBits, delta, vbase } */
+function initValueDecoderTable(nStates, nSymbols, freq, freqOffset, extraBits, baseValue) {
+  const totalBits = new Uint8Array(nStates);
+  const valueBits = new Uint8Array(nStates);
+  const delta = new Int32Array(nStates);
+  const vbase = new Int32Array(nStates);
+  const nClz = Math.clz32(nStates);
+  let sum = 0;
+  let t = 0;
+  for (let i = 0; i < nSymbols; i++) {
+    const f = freq[freqOffset + i];
+    if (f === 0) continue;
+    sum += f;
+    if (sum > nStates) throw new LzfseError("invalid L/M/D frequency table");
+    const kk = Math.clz32(f) - nClz;
+    const j0 = ((2 * nStates) >> kk) - f;
+    for (let j = 0; j < f; j++, t++) {
+      valueBits[t] = extraBits[i];
+      vbase[t] = baseValue[i];
+      if (j < j0) {
+        totalBits[t] = kk + extraBits[i];
+        delta[t] = ((f + j) << kk) - nStates;
+      } else {
+        totalBits[t] = kk - 1 + extraBits[i];
+        delta[t] = (j - j0) << (kk - 1);
+      }
+    }
+  }
+  return { totalBits, valueBits, delta, vbase };
+}
+
+/**
+ * Backward bit stream (fse_in_stream32).
+ * `pos` is the index one past the next unread byte; bytes are consumed
+ * towards `start`.
+ */
+class FseIn {
+  constructor(src, start, end, n) {
+    this.src = src;
+    this.start = start;
+    if (n) {
+      if (end < start + 4) throw new LzfseError("FSE stream too short");
+      this.pos = end - 4;
+      this.accum = src.readUInt32LE(this.pos);
+      this.nbits = n + 32;
+    } else {
+      if (end < start + 3) throw new LzfseError("FSE stream too short");
+      this.pos = end - 3;
+      this.accum = src[this.pos] | (src[this.pos + 1] << 8) | (src[this.pos + 2] << 16);
+      this.nbits = 24;
+    }
+    if (this.nbits < 24 || this.nbits >= 32 || this.accum >>> this.nbits !== 0) {
+      throw new LzfseError("invalid FSE stream header");
+    }
+  }
+
+  flush() {
+    const nbits = (31 - this.nbits) & -8;
+    if (nbits === 0) return;
+    const nbytes = nbits >> 3;
+    const pos = this.pos - nbytes;
+    if (pos < this.start) throw new LzfseError("FSE stream underflow");
+    let incoming = 0;
+    for (let i = nbytes - 1; i >= 0; i--) incoming = (incoming << 8) | this.src[pos + i];
+    this.pos = pos;
+    this.accum = ((this.accum << nbits) | incoming) >>> 0;
+    this.nbits += nbits;
+  }
+
+  pull(n) {
+    if (n === 0) return 0;
+    this.nbits -= n;
+    if (this.nbits < 0) throw new LzfseError("FSE stream overrun");
+    const result = this.accum >>> this.nbits;
+    this.accum = this.nbits === 0 ? 0 : (this.accum & ((1 << this.nbits) - 1)) >>> 0;
+    return result;
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Block headers
+// ──────────────────────────────────────────────
+
+const FREQ_NBITS = [2, 3, 2, 5, 2, 3, 2, 8, 2, 3, 2, 5, 2, 3, 2, 14, 2, 3, 2, 5, 2, 3, 2, 8, 2, 3, 2, 5, 2, 3, 2, 14];
+const FREQ_VALUE = [0, 2, 1, 4, 0, 3, 1, -1, 0, 2, 1, 5, 0, 3, 1, -1, 0, 2, 1, 6, 0, 3, 1, -1, 0, 2, 1, 7, 0, 3, 1, -1];
+const N_FREQ = L_SYMBOLS + M_SYMBOLS + D_SYMBOLS + LITERAL_SYMBOLS;
+
+/** get_field() on a 64-bit packed word given as 32-bit halves */
+function field(lo, hi, offset, nbits) {
+  let v;
+  if (offset >= 32) v = hi >>> (offset - 32);
+  else if (offset + nbits <= 32) v = lo >>> offset;
+  else v = (lo >>> offset) | (hi << (32 - offset));
+  return nbits === 32 ? v >>> 0 : (v & ((1 << nbits) - 1)) >>> 0;
+}
+
+function readV1Header(src, p) {
+  const h = {
+    nRawBytes: src.readUInt32LE(p + 4),
+    nPayloadBytes: src.readUInt32LE(p + 8),
+    nLiterals: src.readUInt32LE(p + 12),
+    nMatches: src.readUInt32LE(p + 16),
+    nLiteralPayloadBytes: src.readUInt32LE(p + 20),
+    nLmdPayloadBytes: src.readUInt32LE(p + 24),
+    literalBits: src.readInt32LE(p + 28),
+    literalState: [
+      src.readUInt16LE(p + 32),
+      src.readUInt16LE(p + 34),
+      src.readUInt16LE(p + 36),
+      src.readUInt16LE(p + 38),
+    ],
+    lmdBits: src.readInt32LE(p + 40),
+    lState: src.readUInt16LE(p + 44),
+    mState: src.readUInt16LE(p + 46),
+    dState: src.readUInt16LE(p + 48),
+    freq: new Uint16Array(N_FREQ),
+  };
+  for (let i = 0; i < N_FREQ; i++) h.freq[i] = src.readUInt16LE(p + 50 + 2 * i);
+  h.headerSize = 50 + 2 * N_FREQ;
+  return h;
+}
+
+function readV2Header(src, p) {
+  const w = (i) => [src.readUInt32LE(p + 8 + 8 * i), src.readUInt32LE(p + 12 + 8 * i)];
+  const [v0lo, v0hi] = w(0);
+  const [v1lo, v1hi] = w(1);
+  const [v2lo, v2hi] = w(2);
+  const f0 = (o, n) => field(v0lo, v0hi, o, n);
+  const f1 = (o, n) => field(v1lo, v1hi, o, n);
+  const f2 = (o, n) => field(v2lo, v2hi, o, n);
+
+  const h = {
+    nRawBytes: src.readUInt32LE(p + 4),
+    nLiterals: f0(0, 20),
+    nLiteralPayloadBytes: f0(20, 20),
+    nMatches: f0(40, 20),
+    literalBits: f0(60, 3) - 7,
+    literalState: [f1(0, 10), f1(10, 10), f1(20, 10), f1(30, 10)],
+    nLmdPayloadBytes: f1(40, 20),
+    lmdBits: f1(60, 3) - 7,
+    headerSize: v2lo, // get_field(v2, 0, 32)
+    lState: f2(32, 10),
+    mState: f2(42, 10),
+    dState: f2(52, 10),
+    freq: new Uint16Array(N_FREQ),
+  };
+  h.nPayloadBytes = h.nLiteralPayloadBytes + h.nLmdPayloadBytes;
+
+  // Frequency tables, variable-length coded
+  let q = p + 32;
+  const end = p + h.headerSize;
+  if (q === end) return h; // freq tables omitted
+  let accum = 0;
+  let accumBits = 0;
+  for (let i = 0; i < N_FREQ; i++) {
+    while (q < end && accumBits + 8 <= 32) {
+      accum = (accum | (src[q] << accumBits)) >>> 0;
+      accumBits += 8;
+      q++;
+    }
+    const b = accum & 31;
+    const n = FREQ_NBITS[b];
+    let value;
+    if (n === 8) value = 8 + ((accum >>> 4) & 0xf);
+    else if (n === 14) value = 24 + ((accum >>> 4) & 0x3ff);
+    else value = FREQ_VALUE[b];
+    if (n > accumBits) throw new LzfseError("truncated frequency table");
+    h.freq[i] = value;
+    accum = accum >>> n;
+    accumBits -= n;
+  }
+  if (accumBits >= 8 || q !== end) throw new LzfseError("invalid v2 block header");
+  return h;
+}
+
+// ──────────────────────────────────────────────
+//  LZFSE block
+// ──────────────────────────────────────────────
+
+function decodeLzfseBlock(src, p, h, out) {
+  const payloadStart = p + h.headerSize;
+  const literalEnd = payloadStart + h.nLiteralPayloadBytes;
+  const lmdEnd = literalEnd + h.nLmdPayloadBytes;
+  if (lmdEnd > src.length) throw new LzfseError("truncated LZFSE block");
+
+  const fL = 0;
+  const fM = L_SYMBOLS;
+  const fD = L_SYMBOLS + M_SYMBOLS;
+  const fLit = L_SYMBOLS + M_SYMBOLS + D_SYMBOLS;
+
+  // 1. Literals: four interleaved FSE states, four literals per step
+  const litDec = initDecoderTable(LITERAL_STATES, LITERAL_SYMBOLS, h.freq, fLit);
+  const literals = new Uint8Array(h.nLiterals + 4);
+  {
+    const input = new FseIn(src, payloadStart, literalEnd, h.literalBits);
+    const state = h.literalState.slice();
+    for (let i = 0; i < h.nLiterals; i += 4) {
+      for (let s = 0; s < 4; s++) {
+        if ((s & 1) === 0) input.flush();
+        const st = state[s];
+        if (st >= LITERAL_STATES) throw new LzfseError("invalid literal state");
+        literals[i + s] = litDec.symbol[st];
+        state[s] = litDec.delta[st] + input.pull(litDec.k[st]);
+      }
+    }
+  }
+
+  // 2. L, M, D triplets
+  const lDec = initValueDecoderTable(L_STATES, L_SYMBOLS, h.freq, fL, L_EXTRA_BITS, L_BASE_VALUE);
+  const mDec = initValueDecoderTable(M_STATES, M_SYMBOLS, h.freq, fM, M_EXTRA_BITS, M_BASE_VALUE);
+  const dDec = initValueDecoderTable(D_STATES, D_SYMBOLS, h.freq, fD, D_EXTRA_BITS, D_BASE_VALUE);
+
+  const decodeValue = (dec, input, stateRef, nStates) => {
+    const st = stateRef.v;
+    if (st >= nStates) throw new LzfseError("invalid L/M/D state");
+    const bits = input.pull(dec.totalBits[st]);
+    const vb = dec.valueBits[st];
+    stateRef.v = dec.delta[st] + (vb ? bits >>> vb : bits);
+    return dec.vbase[st] + (vb ? bits & ((1 << vb) - 1) : 0);
+  };
+
+  const input = new FseIn(src, literalEnd, lmdEnd, h.lmdBits);
+  const lState = { v: h.lState };
+  const mState = { v: h.mState };
+  const dState = { v: h.dState };
+  let lit = 0;
+  let D = -1;
+  out.ensure(h.nRawBytes);
+  const rawEnd = out.pos + h.nRawBytes;
+
+  for (let n = 0; n < h.nMatches; n++) {
+    input.flush();
+    const L = decodeValue(lDec, input, lState, L_STATES);
+    input.flush();
+    const M = decodeValue(mDec, input, mState, M_STATES);
+    input.flush();
+    const newD = decodeValue(dDec, input, dState, D_STATES);
+    if (newD) D = newD;
+
+    if (lit + L > h.nLiterals || out.pos + L + M > rawEnd) {
+      throw new LzfseError("LZFSE match out of range");
+    }
+    for (let i = 0; i < L; i++) out.buf[out.pos++] = literals[lit++];
+    if (M) out.copyMatch(D, M);
+  }
+
+  if (out.pos !== rawEnd) throw new LzfseError("LZFSE block size mismatch");
+  return lmdEnd;
+}
+
+// ──────────────────────────────────────────────
+//  LZVN
+// ──────────────────────────────────────────────
+
+/**
+ * Decode an LZVN stream (src[start, end)) into `out`, stopping at the
+ * end-of-stream opcode or once `limit` output bytes have been produced.
+ */
+function decodeLzvn(src, start, end, out, limit) {
+  let p = start;
+  let D = 0;
+  const stop = limit === undefined ? Infinity : out.pos + limit;
+
+  const need = (n) => {
+    if (p + n > end) throw new LzfseError("truncated LZVN stream");
+  };
+  const literals = (L) => {
+    need(L);
+    out.ensure(L);
+    src.copy(out.buf, out.pos, p, p + L);
+    out.pos += L;
+    p += L;
+  };
+
+  while (out.pos < stop) {
+    need(1);
+    const op = src[p];
+    const low = op & 7;
+
+    if (op === 0x06) break; // eos
+    if (op === 0x0e || op === 0x16) {
+      p += 1; // nop
+      continue;
+    }
+    if (op >= 0xe0) {
+      const kind = op & 0xf0;
+      if (kind === 0xe0) {
+        // sml_l / lrg_l
+        let L = op & 0xf;
+        if (L === 0) {
+          need(2);
+          L = src[p + 1] + 16;
+          p += 2;
+        } else {
+          p += 1;
+        }
+        literals(L);
+      } else {
+        // sml_m / lrg_m
+        let M = op & 0xf;
+        if (M === 0) {
+          need(2);
+          M = src[p + 1] + 16;
+          p += 2;
+        } else {
+          p += 1;
+        }
+        out.copyMatch(D, M);
+      }
+      continue;
+    }
+    if ((op & 0xe0) === 0xa0) {
+      // med_d: 101LLMMM DDDDDDMM DDDDDDDD
+      need(3);
+      const b1 = src[p + 1];
+      const b2 = src[p + 2];
+      const L = (op >> 3) & 3;
+      const M = (((op & 7) << 2) | (b1 & 3)) + 3;
+      D = (b1 >> 2) | (b2 << 6);
+      p += 3;
+      literals(L);
+      out.copyMatch(D, M);
+      continue;
+    }
+    if ((op & 0xf0) === 0x70 || (op & 0xf0) === 0xd0 || (low === 6 && op < 0x40)) {
+      throw new LzfseError(`undefined LZVN opcode 0x${op.toString(16)}`);
+    }
+
+    // sml_d / pre_d / lrg_d: LLMMMDDD
+    const L = op >> 6;
+    const M = ((op >> 3) & 7) + 3;
+    if (low === 6) {
+      p += 1; // pre_d
+    } else if (low === 7) {
+      need(3);
+      D = src[p + 1] | (src[p + 2] << 8); // lrg_d
+      p += 3;
+    } else {
+      need(2);
+      D = (low << 8) | src[p + 1]; // sml_d
+      p += 2;
+    }
+    literals(L);
+    out.copyMatch(D, M);
+  }
+  return p;
+}
+
+// ──────────────────────────────────────────────
+//  Public API
+// ──────────────────────────────────────────────
+
+/**
+ * Decompress a complete LZFSE stream (sequence of blocks ending in bvx$).
+ *
+ * @param {Buffer} src
+ * @param {number} [sizeHint]  expected decompressed size, if known
+ * @returns {Buffer}
+ */
+function decompressLzfse(src, sizeHint) {
+  const out = new Output(sizeHint);
+  let p = 0;
+
+  for (;;) {
+    if (p + 4 > src.length) throw new LzfseError("missing end-of-stream block");
+    const magic = src.readUInt32LE(p);
+
+    switch (magic) {
+      case MAGIC_END:
+        return out.result();
+
+      case MAGIC_RAW: {
+        const n = src.readUInt32LE(p + 4);
+        if (p + 8 + n > src.length) throw new LzfseError("truncated raw block");
+        out.ensure(n);
+        src.copy(out.buf, out.pos, p + 8, p + 8 + n);
+        out.pos += n;
+        p += 8 + n;
+        break;
+      }
+
+      case MAGIC_V1:
+        p = decodeLzfseBlock(src, p, readV1Header(src, p), out);
+        break;
+
+      case MAGIC_V2:
+        p = decodeLzfseBlock(src, p, readV2Header(src, p), out);
+        break;
+
+      case MAGIC_LZVN: {
+        const nRaw = src.readUInt32LE(p + 4);
+        const nPayload = src.readUInt32LE(p + 8);
+        const start = p + 12;
+        if (start + nPayload > src.length) throw new LzfseError("truncated LZVN block");
+        const before = out.pos;
+        decodeLzvn(src, start, start + nPayload, out, nRaw);
+        if (out.pos - before !== nRaw) throw new LzfseError("LZVN block size mismatch");
+        p = start + nPayload;
+        break;
+      }
+
+      default:
+        throw new LzfseError(`unknown block magic 0x${magic.toString(16)} at ${p}`);
+    }
+  }
+}
+
+/**
+ * Decompress a bare LZVN stream (no bvxn framing), as used by decmpfs.
+ *
+ * @param {Buffer} src
+ * @param {number} size  decompressed size
+ * @returns {Buffer}
+ */
+function decompressLzvn(src, size) {
+  const out = new Output(size);
+  decodeLzvn(src, 0, src.length, out, size);
+  return out.result();
+}
+
+module.exports = { decompressLzfse, decompressLzvn, LzfseError };
@@ -0,0 +1,346 @@
+/**
+ * UDIF (.dmg) image reader
+ *
+ * Parses the `koly` trailer, the XML property list it points to and the
+ * `mish` block tables of every partition, then exposes each partition as a
+ * random-access reader that decompresses chunks on demand.
+ *
+ * Chunk types:
+ *   0x00000000  zero fill
+ *   0x00000001  raw
+ *   0x00000002  ignored (reads as zeros)
+ *   0x80000005  zlib       (UDZO)
+ *   0x80000006  bzip2      (UDBZ)
+ *   0x80000007  LZFSE      (ULFO)
+ *   0x7ffffffe  comment
+ *   0xffffffff  terminator
+ *
+ * ADC (UDCO) and LZMA (ULMO) chunks are reported as unsupported.
+ */
+const fs = require("fs");
+const zlib = require("zlib");
+const { decompressBzip2 } = require("./bzip2");
+const { decompressLzfse } = require("./lzfse");
+
+const SECTOR_SIZE = 512;
+const KOLY_SIZE = 512;
+const KOLY_MAGIC = 0x6b6f6c79; // koly
+const MISH_MAGIC = 0x6d697368; // mish
+
+const CHUNK = {
+  ZERO: 0x00000000,
+  RAW: 0x00000001,
+  IGNORE: 0x00000002,
+  ADC: 0x80000004,
+  ZLIB: 0x80000005,
+  BZIP2: 0x80000006,
+  LZFSE: 0x80000007,
+  LZMA: 0x80000008,
+  COMMENT: 0x7ffffffe,
+  END: 0xffffffff,
+};
+
+// Decompressed chunks kept in memory (chunks are usually ≤ 1 MiB)
+const CHUNK_CACHE_SIZE = 8;
+
+class DmgError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DmgError";
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Minimal XML property list parser
+// ──────────────────────────────────────────────
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      return String.fromCodePoint(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    }
+    return XML_ENTITIES[e] ?? m;
+  });
+}
+
+/**
+ * Parse the subset of the plist format used by UDIF resource forks
+ * (dict, array, key, string, data, integer, real, true, false, date).
+ */
+function parsePlist(xml) {
+  const tokens = xml.match(/<[^>]+>|[^<]+/g) || [];
+  let i = 0;
+
+  const nextTag = () => {
+    while (i < tokens.length) {
+      const t = tokens[i++];
+      if (t[0] !== "<") continue; // whitespace
+      if (t.startsWith("<?") || t.startsWith("<!")) continue;
+      return t;
+    }
+    throw new DmgError("unexpected end of plist");
+  };
+
+  const readText = (name) => {
+    let text = "";
+    while (i < tokens.length && tokens[i] !== `</${name}>`) text += tokens[i++];
+    if (tokens[i++] !== `</${name}>`) throw new DmgError(`unterminated <${name}>`);
+    return decodeEntities(text);
+  };
+
+  const parseValue = (tag) => {
+    const selfClosing = tag.endsWith("/>");
+    const name = tag.replace(/^<\/?|\/?>$/g, "").split(/\s/)[0];
+
+    switch (name) {
+      case "dict": {
+        const dict = {};
+        if (selfClosing) return dict;
+        for (;;) {
+          const t = nextTag();
+          if (t === "</dict>") return dict;
+          if (t !== "<key>") throw new DmgError(`expected <key>, got ${t}`);
+          const key = readText("key");
+          dict[key] = parseValue(nextTag());
+        }
+      }
+      case "array": {
+        const arr = [];
+        if (selfClosing) return arr;
+        for (;;) {
+          const t = nextTag();
+          if (t === "</array>") return arr;
+          arr.push(parseValue(t));
+        }
+      }
+      case "string":
+        return selfClosing ? "" : readText("string");
+      case "data":
+        return selfClosing ? Buffer.alloc(0) : Buffer.from(readText("data").replace(/\s+/g, ""), "base64");
+      case "integer":
+        return Number(readText("integer").trim());
+      case "real":
+        return parseFloat(readText("real"));
+      case "date":
+        return new Date(readText("date").trim());
+      case "true":
+        return true;
+      case "false":
+        return false;
+      case "plist":
+        return parseValue(nextTag());
+      default:
+        throw new DmgError(`unsupported plist element <${name}>`);
+    }
+  };
+
+  return parseValue(nextTag());
+}
+
+// ──────────────────────────────────────────────
+//  Binary structures
+// ──────────────────────────────────────────────
+
+function readU64(buf, offset) {
+  return buf.readUInt32BE(offset) * 4294967296 + buf.readUInt32BE(offset + 4);
+}
+
+function parseKoly(buf) {
+  if (buf.readUInt32BE(0) !== KOLY_MAGIC) {
+    throw new DmgError("not a UDIF image (koly trailer missing)");
+  }
+  return {
+    version: buf.readUInt32BE(4),
+    dataForkOffset: readU64(buf, 24),
+    dataForkLength: readU64(buf, 32),
+    xmlOffset: readU64(buf, 216),
+    xmlLength: readU64(buf, 224),
+    sectorCount: readU64(buf, 492),
+  };
+}
+
+function parseMish(buf) {
+  if (buf.readUInt32BE(0) !== MISH_MAGIC) throw new DmgError("invalid mish block table");
+  const table = {
+    firstSector: readU64(buf, 8),
+    sectorCount: readU64(buf, 16),
+    dataOffset: readU64(buf, 24),
+    chunks: [],
+  };
+  const count = buf.readUInt32BE(200);
+  for (let n = 0; n < count; n++) {
+    const o = 204 + n * 40;
+    const type = buf.readUInt32BE(o);
+    if (type === CHUNK.COMMENT || type === CHUNK.END) continue;
+    table.chunks.push({
+      type,
+      sector: readU64(buf, o + 8),
+      sectorCount: readU64(buf, o + 16),
+      offset: readU64(buf, o + 24),
+      length: readU64(buf, o + 32),
+    });
+  }
+  table.chunks.sort((a, b) => a.sector - b.sector);
+  return table;
+}
+
+// ──────────────────────────────────────────────
+//  Partition reader
+// ──────────────────────────────────────────────
+
+class Partition {
+  constructor(image, entry, table) {
+    this.image = image;
+    this.name = entry.Name || entry.CFName || `partition ${entry.ID}`;
+    this.id = entry.ID;
+    this.table = table;
+    this.size = table.sectorCount * SECTOR_SIZE;
+    this.cache = new Map(); // chunk index → Buffer
+  }
+
+  /** Binary search for the chunk containing `sector` */
+  findChunk(sector) {
+    const chunks = this.table.chunks;
+    let lo = 0;
+    let hi = chunks.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      const c = chunks[mid];
+      if (sector < c.sector) hi = mid - 1;
+      else if (sector >= c.sector + c.sectorCount) lo = mid + 1;
+      else return mid;
+    }
+    return -1;
+  }
+
+  chunkData(index) {
+    const cached = this.cache.get(index);
+    if (cached) {
+      // LRU: re-insert to mark as most recently used
+      this.cache.delete(index);
+      this.cache.set(index, cached);
+      return cached;
+    }
+
+    const c = this.table.chunks[index];
+    const size = c.sectorCount * SECTOR_SIZE;
+    let data;
+    switch (c.type) {
+      case CHUNK.ZERO:
+      case CHUNK.IGNORE:
+        data = Buffer.alloc(size);
+        break;
+      case CHUNK.RAW:
+        data = this.image.readRaw(this.table.dataOffset + c.offset, c.length);
+        break;
+      case CHUNK.ZLIB:
+        data = zlib.inflateSync(this.image.readRaw(this.table.dataOffset + c.offset, c.length));
+        break;
+      case CHUNK.BZIP2:
+        data = decompressBzip2(this.image.readRaw(this.table.dataOffset + c.offset, c.length), size);
+        break;
+      case CHUNK.LZFSE:
+        data = decompressLzfse(this.image.readRaw(this.table.dataOffset + c.offset, c.length), size);
+        break;
+      case CHUNK.ADC:
+        throw new DmgError("ADC-compressed (UDCO) images are not supported");
+      case CHUNK.LZMA:
+        throw new DmgError("LZMA-compressed (ULMO) images are not supported");
+      default:
+        throw new DmgError(`unknown chunk type 0x${c.type.toString(16)}`);
+    }
+    if (data.length < size) {
+      throw new DmgError(`chunk ${index} of ${this.name} decompressed to ${data.length} bytes, expected ${size}`);
+    }
+
+    this.cache.set(index, data);
+    if (this.cache.size > CHUNK_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return data;
+  }
+
+  /**
+   * Read `length` bytes at byte `offset` of the partition.
+   * @returns {Buffer}
+   */
+  read(offset, length) {
+    if (offset < 0 || offset + length > this.size) {
+      throw new DmgError(`read past end of ${this.name} (${offset}+${length} > ${this.size})`);
+    }
+    const out = Buffer.alloc(length);
+    let done = 0;
+    while (done < length) {
+      const pos = offset + done;
+      const sector = Math.floor(pos / SECTOR_SIZE);
+      const index = this.findChunk(sector);
+      if (index === -1) {
+        // Sectors not covered by any chunk read as zeros
+        done += Math.min(length - done, SECTOR_SIZE - (pos % SECTOR_SIZE));
+        continue;
+      }
+      const c = this.table.chunks[index];
+      const data = this.chunkData(index);
+      const within = pos - c.sector * SECTOR_SIZE;
+      const n = Math.min(length - done, c.sectorCount * SECTOR_SIZE - within);
+      data.copy(out, done, within, within + n);
+      done += n;
+    }
+    return out;
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Image
+// ──────────────────────────────────────────────
+
+class DmgImage {
+  /**
+   * @param {string} file  path to the .dmg
+   */
+  constructor(file) {
+    this.file = file;
+    this.fd = fs.openSync(file, "r");
+    this.fileSize = fs.fstatSync(this.fd).size;
+
+    if (this.fileSize < KOLY_SIZE) throw new DmgError("file too small to be a DMG");
+    this.koly = parseKoly(this.readAbsolute(this.fileSize - KOLY_SIZE, KOLY_SIZE));
+    if (!this.koly.xmlLength) throw new DmgError("DMG has no XML property list");
+
+    const xml = this.readAbsolute(this.koly.xmlOffset, this.koly.xmlLength).toString("utf-8");
+    const plist = parsePlist(xml);
+    const blkx = plist?.["resource-fork"]?.blkx;
+    if (!Array.isArray(blkx) || blkx.length === 0) {
+      throw new DmgError("DMG property list has no blkx partitions");
+    }
+
+    this.partitions = blkx.map((entry) => new Partition(this, entry, parseMish(entry.Data)));
+  }
+
+  readAbsolute(position, length) {
+    const buf = Buffer.alloc(length);
+    let done = 0;
+    while (done < length) {
+      const n = fs.readSync(this.fd, buf, done, length - done, position + done);
+      if (n === 0) throw new DmgError("unexpected end of DMG file");
+      done += n;
+    }
+    return buf;
+  }
+
+  /** Read from the data fork (chunk offsets are relative to it) */
+  readRaw(offset, length) {
+    return this.readAbsolute(this.koly.dataForkOffset + offset, length);
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = { DmgImage, DmgError, parsePlist, SECTOR_SIZE };
@@ -0,0 +1,342 @@
+/**
+ * react-intl catalogs of the webview bundle
+ *
+ * The webview formats every string with react-intl: components carry an
+ * `{ id, defaultMessage, description }` descriptor (the English text), and
+ * each translation ships as a compiled locale chunk,
+ * src/webview/assets/<locale>-<hash>.js:
+ *
+ *   const e={"CopyButton.copyTooltip":"复制",…};export{e as default};
+ *
+ * This module finds those chunks, extracts the English catalog from the
+ * descriptors, validates ICU messages and renders patched locale chunks for
+ * scripts/i18n.js and scripts/patch-i18n.js.
+ *
+ * Usage:
+ *   const { extractCatalog, findLocaleChunks, readLocaleChunk } = require("./lib/i18n");
+ *   const catalog = extractCatalog();
+ *   for (const { locale, file } of findLocaleChunks()) readLocaleChunk(file).messages;
+ */
+const fs = require("fs");
+const path = require("path");
+const { ROOT, ASSETS_DIR, walk, getKeyName, parseSource } = require("./patch-engine");
+
+const OVERRIDES_DIR = path.join(ROOT, "i18n", "overrides");
+
+const LOCALE_TAG = /^[a-z]{2,3}(?:-[A-Z][A-Za-z]{1,3})?$/;
+
+// <locale>-<8-char vite hash>.js, or <locale>-i18n.js for a locale added by patch-i18n.js
+const LOCALE_CHUNK = /^(.+)-(?:[A-Za-z0-9_-]{8}|i18n)\.js$/;
+
+// Record of what patch-i18n.js changed, so the next run can restore upstream strings
+const ORIGINALS_PATTERN = /^\/\*i18n-originals:([\s\S]*?)\*\//;
+
+// ──────────────────────────────────────────────
+//  Locale chunks
+// ──────────────────────────────────────────────
+
+function isStringLiteral(node) {
+  return !!node && node.type === "Literal" && typeof node.value === "string";
+}
+
+/**
+ * Parse a locale chunk; null when the module is not one (e.g. a syntax
+ * grammar chunk that happens to be named after a language).
+ *
+ * @returns {{ varName: string, messages: Object<string, string>, originals: Object<string, string|null> } | null}
+ */
+function parseLocaleChunk(source) {
+  if (!/^(?:\/\*i18n-originals:[\s\S]*?\*\/)?const \w+=\{/.test(source)) return null;
+  let ast;
+  try {
+    ast = parseSource(source);
+  } catch {
+    return null;
+  }
+  const [decl, ...rest] = ast.body;
+  if (!decl || decl.type !== "VariableDeclaration" || decl.declarations.length !== 1) return null;
+  const { id, init } = decl.declarations[0];
+  if (id.type !== "Identifier" || !init || init.type !== "ObjectExpression") return null;
+  const exported = rest[rest.length - 1];
+  const isDefaultExport =
+    exported &&
+    exported.type === "ExportNamedDeclaration" &&
+    exported.specifiers.length === 1 &&
+    exported.specifiers[0].local.name === id.name &&
+    exported.specifiers[0].exported.name === "default";
+  if (!isDefaultExport) return null;
+
+  const messages = {};
+  for (const prop of init.properties) {
+    if (prop.type !== "Property" || !isStringLiteral(prop.value)) return null;
+    messages[getKeyName(prop)] = prop.value.value;
+  }
+
+  const recorded = source.match(ORIGINALS_PATTERN);
+  return { varName: id.name, messages, originals: recorded ? JSON.parse(recorded[1]) : {} };
+}
+
+/** Locale chunks in src/webview/assets → [{ locale, file }], sorted by locale */
+function findLocaleChunks(assetsDir = ASSETS_DIR) {
+  if (!fs.existsSync(assetsDir)) return [];
+  const chunks = [];
+  for (const name of fs.readdirSync(assetsDir)) {
+    const m = name.match(LOCALE_CHUNK);
+    if (!m || !LOCALE_TAG.test(m[1])) continue;
+    const file = path.join(assetsDir, name);
+    if (parseLocaleChunk(fs.readFileSync(file, "utf-8"))) chunks.push({ locale: m[1], file });
+  }
+  return chunks.sort((a, b) => a.locale.localeCompare(b.locale));
+}
+
+function readLocaleChunk(file) {
+  const chunk = parseLocaleChunk(fs.readFileSync(file, "utf-8"));
+  if (!chunk) throw new Error(`${path.relative(ROOT, file)} is not a locale chunk`);
+  return chunk;
+}
+
+/**
+ * String literal the way the bundler writes it: single quotes when that saves
+ * escaping double quotes, so an untouched chunk re-renders byte for byte.
+ */
+function jsString(value) {
+  const json = JSON.stringify(value);
+  if (!value.includes('"') || value.includes("'")) return json;
+  return `'${json.slice(1, -1).replace(/\\\\|\\"/g, (m) => (m === '\\"' ? '"' : m))}'`;
+}
+
+/**
+ * Locale chunk source. `runtimeLocale` adds the hook that merges the
+ * $CODEX_HOME/i18n-overrides.json strings the preload exposes.
+ */
+function renderLocaleChunk({ varName = "e", messages, originals = {}, runtimeLocale = null }) {
+  const record = Object.keys(originals).length
+    ? `/*i18n-originals:${JSON.stringify(originals).replace(/\*\//g, "*\\/")}*/`
+    : "";
+  const hook = runtimeLocale
+    ? `Object.assign(${varName},globalThis.codexI18nOverrides?.[${JSON.stringify(runtimeLocale)}]);`
+    : "";
+  const body = Object.entries(messages)
+    .map(([id, message]) => `${jsString(id)}:${jsString(message)}`)
+    .join(",");
+  return `${record}const ${varName}={${body}};${hook}export{${varName} as default};`;
+}
+
+// ──────────────────────────────────────────────
+//  English catalog
+// ──────────────────────────────────────────────
+
+/** `{ id: "…", defaultMessage: "…", description?: "…" }` → descriptor, else null */
+function messageDescriptor(node) {
+  if (node.type !== "ObjectExpression") return null;
+  const props = {};
+  for (const prop of node.properties) {
+    if (prop.type === "Property" && isStringLiteral(prop.value)) props[getKeyName(prop)] = prop.value.value;
+  }
+  if (typeof props.id !== "string" || typeof props.defaultMessage !== "string") return null;
+  return { id: props.id, defaultMessage: props.defaultMessage, description: props.description };
+}
+
+/**
+ * Every message descriptor in the webview chunks.
+ *
+ * @returns {{ messages: Object<string, { defaultMessage: string, description?: string, files: string[] }>,
+ *             conflicts: { id: string, files: string[] }[] }}
+ */
+function extractCatalog(assetsDir = ASSETS_DIR) {
+  const messages = {};
+  const conflicts = new Map();
+  const localeFiles = new Set(findLocaleChunks(assetsDir).map((c) => path.basename(c.file)));
+
+  for (const name of fs.readdirSync(assetsDir).filter((f) => f.endsWith(".js")).sort()) {
+    if (localeFiles.has(name)) continue;
+    const source = fs.readFileSync(path.join(assetsDir, name), "utf-8");
+    if (!source.includes("defaultMessage")) continue;
+    walk(parseSource(source), (node) => {
+      const d = messageDescriptor(node);
+      if (!d) return;
+      const known = messages[d.id];
+      if (!known) {
+        messages[d.id] = { defaultMessage: d.defaultMessage, ...(d.description ? { description: d.description } : {}), files: [name] };
+        return;
+      }
+      if (!known.files.includes(name)) known.files.push(name);
+      if (known.defaultMessage !== d.defaultMessage) {
+        if (!conflicts.has(d.id)) conflicts.set(d.id, new Set());
+        conflicts.get(d.id).add(name);
+      }
+    });
+  }
+
+  const sorted = Object.fromEntries(Object.keys(messages).sort().map((id) => [id, messages[id]]));
+  return {
+    messages: sorted,
+    conflicts: [...conflicts].map(([id, files]) => ({ id, files: [...files] })),
+  };
+}
+
+/** Catalog ids a locale lacks, and locale ids the catalog does not know */
+function diffLocale(catalog, messages) {
+  return {
+    missing: Object.keys(catalog).filter((id) => !(id in messages)),
+    extra: Object.keys(messages).filter((id) => !(id in catalog)),
+  };
+}
+
+// ──────────────────────────────────────────────
+//  ICU messages
+// ──────────────────────────────────────────────
+
+/**
+ * Argument names ("count") and rich-text tags ("<b>") a message uses, at any
+ * nesting depth. Throws on unbalanced braces.
+ */
+function messageArguments(message) {
+  const names = new Set();
+  let i = 0;
+
+  const skipSpace = () => {
+    while (i < message.length && /\s/.test(message[i])) i++;
+  };
+  const readUntil = (stops) => {
+    const start = i;
+    while (i < message.length && !stops.includes(message[i])) i++;
+    return message.slice(start, i).trim();
+  };
+
+  // text up to an unmatched "}" (or the end at the top level)
+  function parseText(nested) {
+    while (i < message.length) {
+      const c = message[i];
+      if (c === "'" && message[i + 1] === "'") {
+        i += 2;
+      } else if (c === "'" && /[{}#|]/.test(message[i + 1] || "")) {
+        const end = message.indexOf("'", i + 1);
+        i = end === -1 ? message.length : end + 1;
+      } else if (c === "{") {
+        parseArgument();
+      } else if (c === "}") {
+        if (!nested) throw new Error("unbalanced braces: unexpected }");
+        return;
+      } else if (c === "<") {
+        const tag = message.slice(i).match(/^<\/?([A-Za-z0-9_-]+)>/);
+        if (tag) names.add(`<${tag[1]}>`);
+        i += tag ? tag[0].length : 1;
+      } else {
+        i++;
+      }
+    }
+    if (nested) throw new Error("unbalanced braces: missing }");
+  }
+
+  function parseArgument() {
+    i++; // {
+    const name = readUntil(",}");
+    if (!name) throw new Error("empty argument {}");
+    names.add(name);
+    if (message[i] === "}") {
+      i++;
+      return;
+    }
+    i++; // ,
+    const type = readUntil(",}");
+    if (message[i] === "}") {
+      i++;
+      return;
+    }
+    i++; // ,
+    if (!["plural", "select", "selectordinal"].includes(type)) {
+      // number / date / time style: skip to the closing brace
+      let depth = 1;
+      for (; i < message.length && depth > 0; i++) {
+        if (message[i] === "{") depth++;
+        else if (message[i] === "}") depth--;
+      }
+      if (depth > 0) throw new Error("unbalanced braces: missing }");
+      return;
+    }
+    for (;;) {
+      skipSpace();
+      if (message[i] === "}") {
+        i++;
+        return;
+      }
+      const selector = readUntil("{}");
+      if (!selector || message[i] !== "{") throw new Error(`${type} argument "${name}": expected {…} after "${selector}"`);
+      i++;
+      parseText(true);
+      i++; // }
+    }
+  }
+
+  parseText(false);
+  return names;
+}
+
+// ──────────────────────────────────────────────
+//  Override files
+// ──────────────────────────────────────────────
+
+/**
+ * i18n/overrides/<locale>.json → { locale: { id: message } }
+ *
+ * Each file is a flat JSON object of message id → translated ICU message.
+ */
+function loadOverrides(dir = OVERRIDES_DIR) {
+  if (!fs.existsSync(dir)) return {};
+  const overrides = {};
+  for (const name of fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort()) {
+    const locale = name.slice(0, -".json".length);
+    const label = path.relative(ROOT, path.join(dir, name));
+    if (!LOCALE_TAG.test(locale)) throw new Error(`${label}: "${locale}" is not a locale tag (e.g. zh-CN, fr-FR)`);
+    const data = JSON.parse(fs.readFileSync(path.join(dir, name), "utf-8"));
+    if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error(`${label}: expected a JSON object of id → message`);
+    for (const [id, message] of Object.entries(data)) {
+      if (typeof message !== "string") throw new Error(`${label}: "${id}" must be a string`);
+    }
+    overrides[locale] = data;
+  }
+  return overrides;
+}
+
+/**
+ * Problems with a locale's overrides: ICU syntax, and arguments / tags the
+ * reference message (English, or the shipped translation) does not have.
+ */
+function validateOverrides(overrides, references) {
+  const errors = [];
+  for (const [id, message] of Object.entries(overrides)) {
+    let used;
+    try {
+      used = messageArguments(message);
+    } catch (err) {
+      errors.push(`${id}: ${err.message}`);
+      continue;
+    }
+    const reference = references[id];
+    if (reference === undefined) continue;
+    let allowed;
+    try {
+      allowed = messageArguments(reference);
+    } catch {
+      continue;
+    }
+    const unknown = [...used].filter((n) => !allowed.has(n));
+    if (unknown.length) errors.push(`${id}: ${unknown.join(", ")} not in "${reference}"`);
+  }
+  return errors;
+}
+
+module.exports = {
+  OVERRIDES_DIR,
+  LOCALE_TAG,
+  parseLocaleChunk,
+  findLocaleChunks,
+  readLocaleChunk,
+  renderLocaleChunk,
+  extractCatalog,
+  diffLocale,
+  messageArguments,
+  loadOverrides,
+  validateOverrides,
+};
@@ -0,0 +1,662 @@
+/**
+ * Shared patch engine for scripts/patch-*.js
+ *
+ * Every patch script declares a manifest of rules and hands it to this
+ * engine, which locates the target files, runs each rule, applies the edits
+ * and reports the outcome per rule.
+ *
+ * Rule types:
+ *   ast     – acorn AST match + surgical source replacement
+ *   marker  – prepend / append a marker-tagged snippet to a JS file; a
+ *             single-line snippet (ending in "\n") whose marker line has
+ *             changed since it was injected is replaced in place
+ *   html    – insert a fragment at an anchor inside an HTML file
+ *   replace – rewrite the single match of a pattern in a text file
+ *   file    – emit a whole file (e.g. a polyfill asset)
+ *
+ * Rule statuses:
+ *   applied          – the rule matched and the edit was made (or would be, in --check)
+ *   already-applied  – the target already carries the patch
+ *   not-matched      – nothing to patch and no sign of a previous patch; fails
+ *                      the patch unless the rule sets `optional` or `warning`
+ *   ambiguous        – more matches than the rule allows; the file is left untouched
+ *   error            – the target could not be located or read
+ *
+ * Manifest shape:
+ *   {
+ *     id: "copyright",
+ *     title: "Replace the About panel copyright",
+ *     rules: [
+ *       { id, type: "ast", target, description, match(node, source), applied?(node, source), detect?, maxMatches? },
+ *       { id, type: "marker", target, description, marker, snippet | snippet(), position?: "prepend" | "append" },
+ *       { id, type: "html", target, description, detect, fragment, anchors: [{ pattern, position }] },
+ *       { id, type: "replace", target, description, pattern, replace(match, source) },
+ *       { id, type: "file", target, description, content },
+ *     ],
+ *   }
+ *
+ * `target` is a function returning an absolute path (see `targets` below);
+ * it may throw a PatchTargetError when the file cannot be found. Any rule may
+ * set `optional: true`: its not-matched then passes. A rule may instead set
+ * `warning: "<text>"`: its not-matched passes too, but the text is printed as
+ * a warning and listed in the report's `warnings`.
+ *
+ * CLI flags handled by runPatchCli() / runPipelineCli():
+ *   --check          dry run, never writes
+ *   --json           print the report as JSON instead of the human summary
+ *   --report <path>  where to write the JSON report
+ *                    (default: out/patch-report/<patch id>.json,
+ *                     or out/patch-report/pipeline.json for the whole pipeline)
+ */
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+const BUILD_DIR = path.join(ROOT, "src", ".vite", "build");
+const WEBVIEW_DIR = path.join(ROOT, "src", "webview");
+const ASSETS_DIR = path.join(WEBVIEW_DIR, "assets");
+const REPORT_DIR = path.join(ROOT, "out", "patch-report");
+
+const STATUS = {
+  APPLIED: "applied",
+  ALREADY_APPLIED: "already-applied",
+  NOT_MATCHED: "not-matched",
+  AMBIGUOUS: "ambiguous",
+  ERROR: "error",
+};
+
+const STATUS_ICON = {
+  [STATUS.APPLIED]: "✏️ ",
+  [STATUS.ALREADY_APPLIED]: "✅",
+  [STATUS.NOT_MATCHED]: "⚠️ ",
+  [STATUS.AMBIGUOUS]: "❌",
+  [STATUS.ERROR]: "❌",
+};
+
+const CONTEXT_CHARS = 40;
+
+/** Whether a rule result fails its patch (a not-matched optional rule passes, one with a warning warns) */
+function isFailure(result) {
+  if (result.status === STATUS.NOT_MATCHED) return !result.optional && !result.warning;
+  return result.status === STATUS.AMBIGUOUS || result.status === STATUS.ERROR;
+}
+
+const resultIcon = (result) => (isFailure(result) ? "❌" : STATUS_ICON[result.status]);
+
+class PatchTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PatchTargetError";
+  }
+}
+
+// ──────────────────────────────────────────────
+//  AST helpers
+// ──────────────────────────────────────────────
+
+function walk(node, visitor) {
+  if (!node || typeof node !== "object") return;
+  visitor(node);
+  for (const key of Object.keys(node)) {
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const item of child) {
+        if (item && typeof item.type === "string") {
+          walk(item, visitor);
+        }
+      }
+    } else if (child && typeof child.type === "string") {
+      walk(child, visitor);
+    }
+  }
+}
+
+function getPropertyName(memberExpr) {
+  if (!memberExpr || !memberExpr.property) return null;
+  if (!memberExpr.computed && memberExpr.property.type === "Identifier") {
+    return memberExpr.property.name;
+  }
+  if (memberExpr.computed && memberExpr.property.type === "Literal") {
+    return memberExpr.property.value;
+  }
+  return null;
+}
+
+function getKeyName(property) {
+  if (!property || !property.key) return null;
+  if (property.key.type === "Identifier") return property.key.name;
+  if (property.key.type === "Literal") return property.key.value;
+  return null;
+}
+
+function parseSource(source) {
+  const { parse } = require("acorn");
+  return parse(source, { ecmaVersion: "latest", sourceType: "module" });
+}
+
+// ──────────────────────────────────────────────
+//  Target locators
+// ──────────────────────────────────────────────
+
+function requireFile(target, label) {
+  if (!fs.existsSync(target)) {
+    throw new PatchTargetError(`${label} not found: ${path.relative(ROOT, target)}`);
+  }
+  return target;
+}
+
+function findUnique(dir, pattern, label) {
+  if (!fs.existsSync(dir)) {
+    throw new PatchTargetError(`directory not found: ${path.relative(ROOT, dir)}`);
+  }
+  const files = fs.readdirSync(dir).filter((f) => pattern.test(f));
+  if (files.length === 0) {
+    throw new PatchTargetError(`no ${label} found in ${path.relative(ROOT, dir)}`);
+  }
+  if (files.length > 1) {
+    throw new PatchTargetError(`multiple ${label} found: ${files.join(", ")}`);
+  }
+  return path.join(dir, files[0]);
+}
+
+const targets = {
+  /** Electron entry point (src/.vite/build/main.js) */
+  mainEntry: () => requireFile(path.join(BUILD_DIR, "main.js"), "main.js"),
+
+  /** Hashed main-process bundle (main-{hash}.js), falling back to main.js */
+  mainBundle: () => {
+    if (!fs.existsSync(BUILD_DIR)) {
+      throw new PatchTargetError(`directory not found: ${path.relative(ROOT, BUILD_DIR)}`);
+    }
+    const files = fs.readdirSync(BUILD_DIR).filter((f) => /^main(-[^.]+)?\.js$/.test(f));
+    const hashed = files.filter((f) => f !== "main.js");
+    if (hashed.length > 1) {
+      throw new PatchTargetError(`multiple main-*.js bundles found: ${hashed.join(", ")}`);
+    }
+    if (files.length === 0) {
+      throw new PatchTargetError("no main*.js bundle found");
+    }
+    return path.join(BUILD_DIR, hashed[0] || files[0]);
+  },
+
+  /** Any file under src/.vite/build */
+  buildFile: (name) => () => requireFile(path.join(BUILD_DIR, name), name),
+
+  /** A src/.vite/build file that the patch itself creates (need not exist yet) */
+  buildAsset: (name) => () => path.join(BUILD_DIR, name),
+
+  /** Webview entry chunk (assets/index-{hash}.js) */
+  webviewIndexBundle: () => findUnique(ASSETS_DIR, /^index-.*\.js$/, "index-*.js bundle"),
+
+  /** src/webview/index.html */
+  webviewHtml: () => requireFile(path.join(WEBVIEW_DIR, "index.html"), "index.html"),
+
+  /** A webview asset that the patch itself creates (need not exist yet) */
+  webviewAsset: (name) => () => path.join(ASSETS_DIR, name),
+};
+
+// ──────────────────────────────────────────────
+//  Rule runners
+// ──────────────────────────────────────────────
+//
+// Each runner receives the rule and a file context { source, ast() } and
+// returns { status, matches, changes, source?, message? }. When `source` is
+// returned it replaces the file content for the following rules.
+
+function snippetAround(source, start, end) {
+  const ctxStart = Math.max(0, start - CONTEXT_CHARS);
+  const ctxEnd = Math.min(source.length, end + CONTEXT_CHARS);
+  return source.slice(ctxStart, ctxEnd);
+}
+
+function runAstRule(rule, file) {
+  const { source } = file;
+  const maxMatches = rule.maxMatches ?? 1;
+  const patches = [];
+  const seen = new Set(); // a ChainExpression and its inner CallExpression can both match
+  let appliedCount = 0;
+
+  walk(file.ast(), (node) => {
+    const result = rule.match(node, source);
+    if (result && !seen.has(result.start)) {
+      seen.add(result.start);
+      patches.push(result);
+    } else if (!result && rule.applied && rule.applied(node, source)) {
+      appliedCount++;
+    }
+  });
+
+  // Replacements that carry their own marker (e.g. /*gate:name*/) are counted by it
+  if (rule.detect) appliedCount += countOccurrences(source, rule.detect);
+
+  const changes = patches.map((p) => ({
+    position: p.start,
+    original: p.original ?? source.slice(p.start, p.end),
+    replacement: p.replacement,
+    context: snippetAround(source, p.start, p.end),
+  }));
+
+  if (patches.length === 0) {
+    return appliedCount > 0
+      ? { status: STATUS.ALREADY_APPLIED, matches: appliedCount, changes }
+      : { status: STATUS.NOT_MATCHED, matches: 0, changes };
+  }
+  if (patches.length > maxMatches) {
+    return {
+      status: STATUS.AMBIGUOUS,
+      matches: patches.length,
+      changes,
+      message: `expected at most ${maxMatches} match(es), found ${patches.length}`,
+    };
+  }
+
+  // Replace from the end so earlier offsets stay valid
+  let code = source;
+  for (const p of [...patches].sort((a, b) => b.start - a.start)) {
+    code = code.slice(0, p.start) + p.replacement + code.slice(p.end);
+  }
+  return { status: STATUS.APPLIED, matches: patches.length, changes, source: code };
+}
+
+function runMarkerRule(rule, file) {
+  const { source } = file;
+  const snippet = typeof rule.snippet === "function" ? rule.snippet() : rule.snippet;
+  const at = source.indexOf(rule.marker);
+  if (at !== -1) {
+    // The marker line differs from the current snippet (an older injection): replace the line
+    const lineEnd = source.indexOf("\n", at);
+    const end = lineEnd === -1 ? source.length : lineEnd + 1;
+    const existing = source.slice(at, end);
+    if (!snippet.endsWith("\n") || existing === snippet) {
+      return { status: STATUS.ALREADY_APPLIED, matches: 1, changes: [] };
+    }
+    return {
+      status: STATUS.APPLIED,
+      matches: 1,
+      changes: [{ position: at, original: "(outdated)", replacement: snippet, context: snippetAround(source, at, end) }],
+      source: source.slice(0, at) + snippet + source.slice(end),
+    };
+  }
+  const append = rule.position === "append";
+  return {
+    status: STATUS.APPLIED,
+    matches: 1,
+    changes: [{ position: append ? source.length : 0, original: "", replacement: snippet }],
+    source: append ? source + snippet : snippet + source,
+  };
+}
+
+function countOccurrences(source, pattern) {
+  if (typeof pattern === "string") {
+    let count = 0;
+    let idx = -1;
+    while ((idx = source.indexOf(pattern, idx + 1)) !== -1) count++;
+    return count;
+  }
+  const flags = pattern.flags.includes("g") ? pattern.flags : pattern.flags + "g";
+  return (source.match(new RegExp(pattern.source, flags)) || []).length;
+}
+
+function findAnchor(source, pattern) {
+  if (typeof pattern === "string") {
+    const index = source.indexOf(pattern);
+    return index === -1 ? null : { index, length: pattern.length };
+  }
+  const m = source.match(pattern);
+  return m ? { index: m.index, length: m[0].length } : null;
+}
+
+function runHtmlRule(rule, file) {
+  const { source } = file;
+  if (source.includes(rule.detect)) {
+    return { status: STATUS.ALREADY_APPLIED, matches: 1, changes: [] };
+  }
+  const fragment = typeof rule.fragment === "function" ? rule.fragment() : rule.fragment;
+
+  // Anchors are tried in order; the first one found must be unique
+  for (const anchor of rule.anchors) {
+    const count = countOccurrences(source, anchor.pattern);
+    if (count === 0) continue;
+    if (count > 1) {
+      return {
+        status: STATUS.AMBIGUOUS,
+        matches: count,
+        changes: [],
+        message: `anchor ${String(anchor.pattern)} occurs ${count} times`,
+      };
+    }
+    const { index, length } = findAnchor(source, anchor.pattern);
+    const at = anchor.position === "after" ? index + length : index;
+    return {
+      status: STATUS.APPLIED,
+      matches: 1,
+      changes: [{ position: at, original: "", replacement: fragment, context: snippetAround(source, at, at) }],
+      source: source.slice(0, at) + fragment + source.slice(at),
+    };
+  }
+  return {
+    status: STATUS.NOT_MATCHED,
+    matches: 0,
+    changes: [],
+    message: "no injection anchor found",
+  };
+}
+
+function runReplaceRule(rule, file) {
+  const { source } = file;
+  const count = countOccurrences(source, rule.pattern);
+  if (count === 0) {
+    return { status: STATUS.NOT_MATCHED, matches: 0, changes: [], message: `pattern ${String(rule.pattern)} not found` };
+  }
+  if (count > 1) {
+    return { status: STATUS.AMBIGUOUS, matches: count, changes: [], message: `pattern ${String(rule.pattern)} occurs ${count} times` };
+  }
+  const { index, length } = findAnchor(source, rule.pattern);
+  const original = source.slice(index, index + length);
+  // replace() may throw (e.g. the generated result fails validation); applyPatch reports an error
+  const replacement = rule.replace(original, source);
+  if (replacement === original) {
+    return { status: STATUS.ALREADY_APPLIED, matches: 1, changes: [] };
+  }
+  return {
+    status: STATUS.APPLIED,
+    matches: 1,
+    changes: [{ position: index, original, replacement, context: snippetAround(source, index, index + length) }],
+    source: source.slice(0, index) + replacement + source.slice(index + length),
+  };
+}
+
+function runFileRule(rule, file) {
+  const content = typeof rule.content === "function" ? rule.content() : rule.content;
+  if (file.exists && file.source === content) {
+    return { status: STATUS.ALREADY_APPLIED, matches: 1, changes: [] };
+  }
+  return {
+    status: STATUS.APPLIED,
+    matches: 1,
+    changes: [{ position: 0, original: file.exists ? "(outdated)" : "", replacement: `(${content.length} bytes)` }],
+    source: content,
+  };
+}
+
+const RUNNERS = {
+  ast: runAstRule,
+  marker: runMarkerRule,
+  html: runHtmlRule,
+  replace: runReplaceRule,
+  file: runFileRule,
+};
+
+// ──────────────────────────────────────────────
+//  Engine
+// ──────────────────────────────────────────────
+
+/**
+ * Run every rule of a patch manifest.
+ *
+ * Rules sharing a target file are run in declaration order against the same
+ * in-memory source; the file is written once at the end, and only when no
+ * rule on it came back ambiguous.
+ *
+ * @param {object} patch           manifest (see header)
+ * @param {{ dryRun?: boolean }} options
+ * @returns {object} report        { patch, title, dryRun, ok, warnings: [...], rules: [...] }
+ */
+function applyPatch(patch, { dryRun = false } = {}) {
+  const files = new Map(); // absolute path → file context
+  const results = [];
+
+  for (const rule of patch.rules) {
+    const runner = RUNNERS[rule.type];
+    const base = { patch: patch.id, rule: rule.id, type: rule.type, description: rule.description, optional: !!rule.optional };
+    if (!runner) {
+      results.push({ ...base, file: null, status: STATUS.ERROR, matches: 0, changes: [], message: `unknown rule type "${rule.type}"` });
+      continue;
+    }
+
+    let filePath;
+    try {
+      filePath = rule.target();
+    } catch (err) {
+      if (!(err instanceof PatchTargetError)) throw err;
+      results.push({ ...base, file: null, status: STATUS.ERROR, matches: 0, changes: [], message: err.message });
+      continue;
+    }
+
+    let file = files.get(filePath);
+    if (!file) {
+      const exists = fs.existsSync(filePath);
+      file = {
+        path: filePath,
+        exists,
+        original: exists ? fs.readFileSync(filePath, "utf-8") : null,
+        source: null,
+        blocked: false,
+        _ast: null,
+        ast() {
+          if (!this._ast) this._ast = parseSource(this.source);
+          return this._ast;
+        },
+      };
+      file.source = file.original;
+      files.set(filePath, file);
+    }
+
+    if (rule.type !== "file" && !file.exists) {
+      results.push({ ...base, file: path.relative(ROOT, filePath), status: STATUS.ERROR, matches: 0, changes: [], message: "target file does not exist" });
+      continue;
+    }
+
+    let outcome;
+    try {
+      outcome = runner(rule, file);
+    } catch (err) {
+      outcome = { status: STATUS.ERROR, matches: 0, changes: [], message: err.message };
+    }
+
+    if (outcome.status === STATUS.AMBIGUOUS) file.blocked = true;
+    if (outcome.source !== undefined && outcome.source !== file.source) {
+      file.source = outcome.source;
+      file._ast = null;
+    }
+
+    const { source: _ignored, ...rest } = outcome;
+    const warning = rest.status === STATUS.NOT_MATCHED && rule.warning ? { warning: rule.warning } : {};
+    results.push({ ...base, file: path.relative(ROOT, filePath), ...rest, ...warning });
+  }
+
+  for (const file of files.values()) {
+    if (dryRun || file.blocked || file.source === file.original) continue;
+    fs.mkdirSync(path.dirname(file.path), { recursive: true });
+    fs.writeFileSync(file.path, file.source);
+  }
+
+  return {
+    patch: patch.id,
+    title: patch.title,
+    dryRun,
+    ok: !results.some(isFailure),
+    warnings: results.filter((r) => r.warning).map((r) => `[${r.rule}] ${r.warning}`),
+    rules: results,
+  };
+}
+
+// ──────────────────────────────────────────────
+//  CLI
+// ──────────────────────────────────────────────
+
+function getArgValue(argv, flag) {
+  const idx = argv.indexOf(flag);
+  return idx !== -1 && idx + 1 < argv.length ? argv[idx + 1] : null;
+}
+
+function writeReport(report, reportPath) {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + "\n");
+}
+
+function printReport(report) {
+  console.log(`\n── ${report.title}${report.dryRun ? " (check, read-only)" : ""} ──\n`);
+  for (const r of report.rules) {
+    const optional = r.optional && r.status === STATUS.NOT_MATCHED ? ", optional" : "";
+    console.log(`  ${resultIcon(r)} [${r.rule}] ${r.status}${optional}  (${r.matches} match${r.matches === 1 ? "" : "es"})`);
+    if (r.file) console.log(`      📄 ${r.file}`);
+    if (r.description) console.log(`      ${r.description}`);
+    if (r.message) console.log(`      ${r.message}`);
+    if (r.warning) console.log(`      ⚠️  ${r.warning}`);
+    for (const c of r.changes) {
+      if (r.type === "ast") {
+        console.log(`      at ${c.position}: ${c.original} → ${c.replacement}`);
+      }
+    }
+  }
+  console.log();
+}
+
+function printWarnings(warnings) {
+  for (const w of warnings) console.log(`⚠️  ${w}`);
+}
+
+const warningCount = (warnings) =>
+  warnings.length ? ` (${warnings.length} warning${warnings.length === 1 ? "" : "s"})` : "";
+
+/**
+ * Standard entry point for a patch script:
+ *
+ *   if (require.main === module) runPatchCli(PATCH);
+ */
+function runPatchCli(patch, argv = process.argv.slice(2)) {
+  const dryRun = argv.includes("--check");
+  const asJson = argv.includes("--json");
+  const reportPath = path.resolve(getArgValue(argv, "--report") || path.join(REPORT_DIR, `${patch.id}.json`));
+
+  const report = applyPatch(patch, { dryRun });
+  writeReport(report, reportPath);
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+    console.log(`📝 Report: ${path.relative(ROOT, reportPath)}`);
+    printWarnings(report.warnings);
+    console.log(report.ok ? `✅ ${patch.id}: done${warningCount(report.warnings)}` : `❌ ${patch.id}: failed`);
+  }
+
+  if (!report.ok) process.exitCode = 1;
+  return report;
+}
+
+// ──────────────────────────────────────────────
+//  Pipeline (all patches in one run)
+// ──────────────────────────────────────────────
+
+/**
+ * Run several patches in order. Unlike chaining the scripts with `&&`, a
+ * failing patch never stops the ones after it, so one run reports every
+ * incompatibility at once.
+ *
+ * Each entry is `{ id, load() }`; `load` returns the manifest and may throw
+ * (e.g. an unreadable overrides file), which is reported as an error for that
+ * patch only.
+ *
+ * @param {{ id: string, load(): object }[]} entries
+ * @param {{ dryRun?: boolean }} options
+ * @returns {object} report        { dryRun, ok, summary: { <status>: count }, warnings: [...], patches: [...] }
+ */
+function applyPipeline(entries, { dryRun = false } = {}) {
+  const patches = [];
+  for (const entry of entries) {
+    let patch;
+    try {
+      patch = entry.load();
+    } catch (err) {
+      patches.push({
+        patch: entry.id,
+        title: entry.id,
+        dryRun,
+        ok: false,
+        warnings: [],
+        rules: [],
+        message: `failed to load patch: ${err.message}`,
+      });
+      continue;
+    }
+    patches.push(applyPatch(patch, { dryRun }));
+  }
+
+  const summary = Object.fromEntries(Object.values(STATUS).map((s) => [s, 0]));
+  for (const report of patches) {
+    for (const r of report.rules) summary[r.status]++;
+  }
+
+  return {
+    dryRun,
+    ok: patches.every((p) => p.ok),
+    summary,
+    warnings: patches.flatMap((p) => p.warnings.map((w) => `${p.patch} ${w}`)),
+    patches,
+  };
+}
+
+function printPipelineSummary(report) {
+  console.log(`── Summary${report.dryRun ? " (check, read-only)" : ""} ──\n`);
+  for (const p of report.patches) {
+    const counts = Object.values(STATUS)
+      .map((s) => [s, p.rules.filter((r) => r.status === s).length])
+      .filter(([, n]) => n > 0)
+      .map(([s, n]) => `${s} ${n}`);
+    const detail = counts.join(", ") || (p.message || "no rules").split("\n")[0];
+    const warned = p.rules.some((r) => r.status === STATUS.NOT_MATCHED);
+    console.log(`  ${!p.ok ? "❌" : warned ? "⚠️ " : "✅"} ${p.patch.padEnd(18)} ${detail}`);
+  }
+  const totals = Object.entries(report.summary).map(([s, n]) => `${s} ${n}`);
+  console.log(`\n  Total: ${totals.join(", ")}\n`);
+}
+
+/**
+ * Entry point for scripts/patch.js: runs every patch, writes one combined
+ * report and exits non-zero when any patch failed.
+ */
+function runPipelineCli(entries, argv = process.argv.slice(2)) {
+  const dryRun = argv.includes("--check");
+  const asJson = argv.includes("--json");
+  const reportPath = path.resolve(getArgValue(argv, "--report") || path.join(REPORT_DIR, "pipeline.json"));
+
+  const report = applyPipeline(entries, { dryRun });
+  writeReport(report, reportPath);
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const p of report.patches) {
+      if (p.rules.length) printReport(p);
+      else console.log(`\n── ${p.title} ──\n\n  ❌ ${p.message}\n`);
+    }
+    printPipelineSummary(report);
+    console.log(`📝 Report: ${path.relative(ROOT, reportPath)}`);
+    printWarnings(report.warnings);
+    const failed = report.patches.filter((p) => !p.ok).map((p) => p.patch);
+    console.log(report.ok ? `✅ All patches OK${warningCount(report.warnings)}` : `❌ ${failed.length} patch(es) failed: ${failed.join(", ")}`);
+  }
+
+  if (!report.ok) process.exitCode = 1;
+  return report;
+}
+
+module.exports = {
+  ROOT,
+  BUILD_DIR,
+  WEBVIEW_DIR,
+  ASSETS_DIR,
+  STATUS,
+  PatchTargetError,
+  walk,
+  getPropertyName,
+  getKeyName,
+  parseSource,
+  targets,
+  applyPatch,
+  runPatchCli,
+  applyPipeline,
+  runPipelineCli,
+};
@@ -0,0 +1,320 @@
+/**
+ * Release surface extraction & diffing
+ *
+ * Reads a Codex source tree (the `src/` layout produced by update-from-dmg:
+ * `.vite/build` + `webview`) and collects the parts of its public surface
+ * that matter when reviewing an upstream refresh:
+ *
+ *   ipcMessages       – `case"…"` handlers of `switch (msg.type)` in the main bundle
+ *   fetchRoutes       – VS Code bridge routes (`handlers = { "route": … }`) in the main bundle
+ *   workerMethods     – `case"…"` handlers of `switch (req.method)` in worker.js
+ *   appServerEvents   – app-server notifications / methods (`thread/*`, `item/*`, `turn/*`)
+ *   sqliteMigrations  – `{ version: N, up() { … } }` entries, summarised as tables / columns
+ *   deepLinkHosts     – `case"…"` handlers of `switch (url.host)` (codex://<host>)
+ *   locales           – webview locale chunks (assets/<locale>-<hash>.js) and their key counts
+ *
+ * Two surfaces are compared with diffSurfaces() and rendered as Markdown
+ * and JSON by writeReports().
+ */
+const fs = require("fs");
+const path = require("path");
+const { walk, getPropertyName, getKeyName, parseSource } = require("./patch-engine");
+
+const CATEGORIES = [
+  { key: "ipcMessages", title: "IPC message types" },
+  { key: "fetchRoutes", title: "Fetch (VS Code bridge) routes" },
+  { key: "workerMethods", title: "Worker RPC methods" },
+  { key: "appServerEvents", title: "App-server notifications (thread/*, item/*, turn/*)" },
+  { key: "sqliteMigrations", title: "SQLite migrations" },
+  { key: "deepLinkHosts", title: "Deep-link hosts (codex://…)" },
+  { key: "locales", title: "Locale files" },
+];
+
+const KEBAB_RE = /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/;
+const APP_SERVER_EVENT_RE = /^(thread|item|turn)\/[A-Za-z][A-Za-z/]*$/;
+const LOCALE_FILE_RE = /^([a-z]{2,3}(?:-[A-Z]{2})?)-[A-Za-z0-9_-]{8}\.js$/;
+const LOCALE_BODY_RE = /^\s*(?:const|var|let)\s+\w+\s*=\s*\{\s*"[\w.-]+"\s*:/;
+
+// ──────────────────────────────────────────────
+//  File lookup
+// ──────────────────────────────────────────────
+
+function readIfExists(file) {
+  return file && fs.existsSync(file) ? fs.readFileSync(file, "utf-8") : null;
+}
+
+/** main-{hash}.js inside a build dir, falling back to main.js */
+function findMainBundle(buildDir) {
+  if (!fs.existsSync(buildDir)) return null;
+  const files = fs.readdirSync(buildDir).filter((f) => /^main(-[^.]+)?\.js$/.test(f));
+  const hashed = files.filter((f) => f !== "main.js").sort();
+  const pick = hashed[0] || files[0];
+  return pick ? path.join(buildDir, pick) : null;
+}
+
+// ──────────────────────────────────────────────
+//  Extractors
+// ──────────────────────────────────────────────
+
+/**
+ * String `case` labels of every `switch (<x>.<prop>)`.
+ *
+ * With `kebabOnly`, a switch only counts when all of its labels are
+ * kebab-case and at least one contains a dash — the app's message and
+ * method names look like that, while bundled libraries (zod's
+ * `switch (def.type)`, date parsers, …) switch over plain words.
+ */
+function switchCases(ast, prop, { kebabOnly = false } = {}) {
+  const out = new Set();
+  walk(ast, (node) => {
+    if (node.type !== "SwitchStatement") return;
+    const d = node.discriminant;
+    if (d.type !== "MemberExpression" || getPropertyName(d) !== prop) return;
+    const labels = node.cases
+      .filter((c) => c.test && c.test.type === "Literal" && typeof c.test.value === "string")
+      .map((c) => c.test.value);
+    if (kebabOnly && !(labels.every((l) => KEBAB_RE.test(l)) && labels.some((l) => l.includes("-")))) return;
+    for (const l of labels) out.add(l);
+  });
+  return out;
+}
+
+/** Keys of `handlers = { … }` class fields / assignments */
+function bridgeRoutes(ast) {
+  const out = new Set();
+  const collect = (obj) => {
+    if (!obj || obj.type !== "ObjectExpression") return;
+    for (const p of obj.properties) {
+      const name = p.type === "Property" ? getKeyName(p) : null;
+      if (typeof name === "string") out.add(name);
+    }
+  };
+  walk(ast, (node) => {
+    if (node.type === "PropertyDefinition" && getKeyName(node) === "handlers") collect(node.value);
+    if (
+      node.type === "AssignmentExpression" &&
+      node.left.type === "MemberExpression" &&
+      node.left.object.type === "ThisExpression" &&
+      getPropertyName(node.left) === "handlers"
+    ) {
+      collect(node.right);
+    }
+  });
+  return out;
+}
+
+function appServerEvents(ast) {
+  const out = new Set();
+  walk(ast, (node) => {
+    if (node.type === "Literal" && typeof node.value === "string" && APP_SERVER_EVENT_RE.test(node.value)) {
+      out.add(node.value);
+    }
+  });
+  return out;
+}
+
+/** `[{ version: N, up: () => … }, …]` → "vN: CREATE inbox_items, +automations.rrule" */
+function sqliteMigrations(ast, source) {
+  const out = new Set();
+  walk(ast, (node) => {
+    if (node.type !== "ObjectExpression") return;
+    const props = new Map(node.properties.filter((p) => p.type === "Property").map((p) => [getKeyName(p), p.value]));
+    const version = props.get("version");
+    const up = props.get("up");
+    if (props.size !== 2 || !version || !up) return;
+    if (version.type !== "Literal" || typeof version.value !== "number") return;
+    if (up.type !== "ArrowFunctionExpression" && up.type !== "FunctionExpression") return;
+
+    const body = source.slice(up.start, up.end);
+    const changes = [];
+    for (const m of body.matchAll(/CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?["`]?(\w+)/gi)) changes.push(`CREATE ${m[1]}`);
+    for (const m of body.matchAll(/\w+\(\s*\w+\s*,\s*"(\w+)"\s*,\s*"(\w+)"\s*,/g)) changes.push(`+${m[1]}.${m[2]}`);
+    for (const m of body.matchAll(/\b(UPDATE|DELETE\s+FROM|DROP\s+TABLE(?:\s+IF\s+EXISTS)?)\s+(\w+)/gi)) {
+      changes.push(`${m[1].toUpperCase().replace(/\s+/g, " ")} ${m[2]}`);
+    }
+    out.add(`v${version.value}: ${[...new Set(changes)].join(", ") || "(custom)"}`);
+  });
+  return out;
+}
+
+function locales(assetsDir) {
+  const out = new Map();
+  if (!fs.existsSync(assetsDir)) return out;
+  for (const file of fs.readdirSync(assetsDir)) {
+    const m = LOCALE_FILE_RE.exec(file);
+    if (!m) continue;
+    const body = fs.readFileSync(path.join(assetsDir, file), "utf-8");
+    if (!LOCALE_BODY_RE.test(body)) continue; // e.g. shiki grammars such as go-*.js
+    const keys = body.match(/"[\w.-]+"\s*:/g) || [];
+    out.set(m[1], { file, keys: keys.length });
+  }
+  return out;
+}
+
+// ──────────────────────────────────────────────
+//  Surface
+// ──────────────────────────────────────────────
+
+/**
+ * Collect the release surface of a source tree.
+ *
+ * @param {string} srcRoot  directory containing `.vite/build` and `webview`
+ * @returns {{ root: string, files: object, warnings: string[], ipcMessages: string[], … }}
+ */
+function collectSurface(srcRoot) {
+  const buildDir = path.join(srcRoot, ".vite", "build");
+  const assetsDir = path.join(srcRoot, "webview", "assets");
+  const warnings = [];
+
+  const mainFile = findMainBundle(buildDir);
+  const workerFile = path.join(buildDir, "worker.js");
+  const mainSource = readIfExists(mainFile);
+  const workerSource = readIfExists(workerFile);
+  if (!mainSource) warnings.push(`main bundle not found in ${buildDir}`);
+  if (!workerSource) warnings.push(`worker.js not found in ${buildDir}`);
+
+  const parse = (source, file) => {
+    if (!source) return null;
+    try {
+      return parseSource(source);
+    } catch (err) {
+      warnings.push(`failed to parse ${path.basename(file)}: ${err.message}`);
+      return null;
+    }
+  };
+  const mainAst = parse(mainSource, mainFile);
+  const workerAst = parse(workerSource, workerFile);
+
+  const events = new Set();
+  for (const ast of [mainAst, workerAst]) if (ast) for (const e of appServerEvents(ast)) events.add(e);
+
+  const localeMap = locales(assetsDir);
+  if (localeMap.size === 0) warnings.push(`no locale files found in ${assetsDir}`);
+
+  const sorted = (set) => [...set].sort();
+  return {
+    root: srcRoot,
+    files: {
+      main: mainFile && path.basename(mainFile),
+      worker: workerSource ? "worker.js" : null,
+    },
+    warnings,
+    ipcMessages: mainAst ? sorted(switchCases(mainAst, "type", { kebabOnly: true })) : [],
+    fetchRoutes: mainAst ? sorted(bridgeRoutes(mainAst)) : [],
+    workerMethods: workerAst ? sorted(switchCases(workerAst, "method", { kebabOnly: true })) : [],
+    appServerEvents: sorted(events),
+    sqliteMigrations: mainAst
+      ? sorted(sqliteMigrations(mainAst, mainSource)).sort((a, b) => parseInt(a.slice(1)) - parseInt(b.slice(1)))
+      : [],
+    deepLinkHosts: mainAst ? sorted(switchCases(mainAst, "host")) : [],
+    locales: [...localeMap.keys()].sort(),
+    localeKeys: Object.fromEntries([...localeMap].map(([id, l]) => [id, l.keys])),
+  };
+}
+
+// ──────────────────────────────────────────────
+//  Diff
+// ──────────────────────────────────────────────
+
+function diffSurfaces(before, after) {
+  const categories = {};
+  for (const { key, title } of CATEGORIES) {
+    const a = new Set(before[key]);
+    const b = new Set(after[key]);
+    categories[key] = {
+      title,
+      before: a.size,
+      after: b.size,
+      added: [...b].filter((x) => !a.has(x)),
+      removed: [...a].filter((x) => !b.has(x)),
+    };
+  }
+
+  // Locales present on both sides whose message count changed
+  const localeKeyChanges = [];
+  for (const id of after.locales) {
+    const was = before.localeKeys[id];
+    const now = after.localeKeys[id];
+    if (was !== undefined && was !== now) localeKeyChanges.push({ locale: id, before: was, after: now });
+  }
+  categories.locales.keyChanges = localeKeyChanges;
+
+  const changed = Object.values(categories).some(
+    (c) => c.added.length || c.removed.length || (c.keyChanges && c.keyChanges.length)
+  );
+
+  return {
+    generatedAt: new Date().toISOString(),
+    before: { root: before.root, files: before.files, warnings: before.warnings },
+    after: { root: after.root, files: after.files, warnings: after.warnings },
+    changed,
+    categories,
+  };
+}
+
+// ──────────────────────────────────────────────
+//  Rendering
+// ──────────────────────────────────────────────
+
+function renderMarkdown(diff, { title = "Upstream release diff" } = {}) {
+  const lines = [];
+  lines.push(`# ${title}`, "");
+  lines.push(`- Generated: ${diff.generatedAt}`);
+  lines.push(`- Before: \`${diff.before.root}\` (${diff.before.files.main || "no main bundle"})`);
+  lines.push(`- After: \`${diff.after.root}\` (${diff.after.files.main || "no main bundle"})`);
+  lines.push("");
+
+  const warnings = [
+    ...diff.before.warnings.map((w) => `before: ${w}`),
+    ...diff.after.warnings.map((w) => `after: ${w}`),
+  ];
+  if (warnings.length) {
+    lines.push("> ⚠️ " + warnings.join("  \n> ⚠️ "), "");
+  }
+
+  lines.push("| Category | Before | After | Added | Removed |");
+  lines.push("|---|---:|---:|---:|---:|");
+  for (const { key } of CATEGORIES) {
+    const c = diff.categories[key];
+    lines.push(`| ${c.title} | ${c.before} | ${c.after} | ${c.added.length} | ${c.removed.length} |`);
+  }
+  lines.push("");
+
+  if (!diff.changed) {
+    lines.push("No surface changes.", "");
+    return lines.join("\n");
+  }
+
+  for (const { key } of CATEGORIES) {
+    const c = diff.categories[key];
+    const keyChanges = c.keyChanges || [];
+    if (!c.added.length && !c.removed.length && !keyChanges.length) continue;
+    lines.push(`## ${c.title}`, "");
+    for (const x of c.added) lines.push(`- ➕ \`${x}\``);
+    for (const x of c.removed) lines.push(`- ➖ \`${x}\``);
+    for (const k of keyChanges) lines.push(`- ✏️ \`${k.locale}\`: ${k.before} → ${k.after} keys`);
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Write `<name>.md` and `<name>.json` into outDir.
+ * @returns {{ markdown: string, json: string }} written paths
+ */
+function writeReports(diff, outDir, name = "release-diff") {
+  fs.mkdirSync(outDir, { recursive: true });
+  const markdown = path.join(outDir, `${name}.md`);
+  const json = path.join(outDir, `${name}.json`);
+  fs.writeFileSync(markdown, renderMarkdown(diff));
+  fs.writeFileSync(json, JSON.stringify(diff, null, 2) + "\n");
+  return { markdown, json };
+}
+
+module.exports = {
+  CATEGORIES,
+  collectSurface,
+  diffSurfaces,
+  renderMarkdown,
+  writeReports,
+};
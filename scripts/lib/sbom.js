@@ -0,0 +1,457 @@
+/**
+ * SBOM and third-party notices for a packaged build
+ *
+ * forge.config.js (packageAfterPrune) records what actually ships and writes
+ * two files next to app.asar:
+ *
+ *   THIRD_PARTY_NOTICES.txt   served by the app's `third-party-notices` route
+ *   sbom.cdx.json             CycloneDX 1.5 (JSON)
+ *
+ * Both are also copied to out/sbom/<platform>-<arch>/. Components covered:
+ *
+ *   bundled JS      license banners (/*! … *\/, @license, copyright) left in
+ *                   the vite bundles — .vite/build and webview/assets
+ *   native modules  whatever survived the node_modules whitelist, with the
+ *                   SHA-256 of every .node binary / spawn-helper
+ *   codex CLI       the binary packageAfterCopy placed in resources/
+ *   Electron        the runtime itself (Chromium's notices ship separately as
+ *                   LICENSES.chromium.html next to the executable)
+ *
+ * node_modules must be described before the LICENSE cleanup in
+ * packageAfterPrune deletes the license texts; describeNodeModules() reads
+ * them into memory for writeSbom() later.
+ *
+ * Usage:
+ *   const { describeNodeModules, writeSbom } = require("./lib/sbom");
+ *   const modules = describeNodeModules(path.join(buildPath, "node_modules"));
+ *   …cleanup…
+ *   writeSbom({ buildPath, platform, arch, electronVersion, modules, app });
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { binaryName, loadManifest } = require("./codex-cli");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+const NOTICES_FILENAME = "THIRD_PARTY_NOTICES.txt";
+const SBOM_FILENAME = "sbom.cdx.json";
+
+// Bundles scanned for license banners, relative to the packaged app directory
+const BUNDLE_DIRS = [path.join("src", ".vite", "build"), path.join("src", "webview", "assets")];
+
+// Block comments that may carry a license: /*! … */ and /** … */
+const BLOCK_COMMENT = /\/\*[*!][\s\S]*?\*\//g;
+const BANNER_HINT = /^\/\*!|@license|@preserve|copyright/i;
+
+const LICENSE_FILE = /^(?:LICEN[CS]E|COPYING|NOTICE)(?:[.-].*)?$/i;
+const NATIVE_FILE = (name) => name.endsWith(".node") || name === "spawn-helper";
+
+// Banner wording → SPDX id, for banners without an SPDX-License-Identifier line
+const LICENSE_HINTS = [
+  [/\bMIT licen[cs]ed?\b|\blicen[cs]ed? under the MIT\b|\bMIT_License\b|\bMIT-license\b/i, "MIT"],
+  [/\bApache License,? Version 2\.0\b/i, "Apache-2.0"],
+  [/\bISC licen[cs]e\b/i, "ISC"],
+  [/\bBSD-3-Clause\b|\b3-clause BSD\b/i, "BSD-3-Clause"],
+  [/\bBSD-2-Clause\b|\b2-clause BSD\b/i, "BSD-2-Clause"],
+  [/\bMozilla Public License,? v(?:ersion)?\.? ?2\.0\b/i, "MPL-2.0"],
+];
+
+const SPDX_IDS = new Set(["MIT", "ISC", "Apache-2.0", "BSD-2-Clause", "BSD-3-Clause", "MPL-2.0", "0BSD", "Unlicense", "CC0-1.0"]);
+
+const CODEX_REPOSITORY = "https://github.com/openai/codex";
+const CODEX_FALLBACK_LICENSE = "Apache-2.0";
+
+function sha256File(file) {
+  return crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/** package.json `license` (string, { type } or legacy `licenses` array) → expression */
+function normalizeLicense(pkg) {
+  const value = pkg.license || pkg.licenses;
+  if (!value) return null;
+  if (typeof value === "string") return value;
+  if (Array.isArray(value)) {
+    const types = value.map((l) => (typeof l === "string" ? l : l.type)).filter(Boolean);
+    return types.length > 1 ? `(${types.join(" OR ")})` : types[0] || null;
+  }
+  return value.type || null;
+}
+
+function readLicenseTexts(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((e) => e.isFile() && LICENSE_FILE.test(e.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((e) => ({ file: e.name, text: fs.readFileSync(path.join(dir, e.name), "utf-8").trim() }));
+}
+
+function walkFiles(dir, callback) {
+  if (!fs.existsSync(dir)) return;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) walkFiles(fullPath, callback);
+    else callback(fullPath, entry.name);
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Component discovery
+// ──────────────────────────────────────────────
+
+/**
+ * Every top-level and scoped package in a node_modules directory.
+ *
+ * @returns {{ name: string, version: string, license: string|null, homepage: string|null,
+ *   licenseTexts: { file: string, text: string }[], binaries: { path: string, sha256: string }[] }[]}
+ */
+function describeNodeModules(nodeModulesPath) {
+  if (!fs.existsSync(nodeModulesPath)) return [];
+  const dirs = [];
+  for (const entry of fs.readdirSync(nodeModulesPath, { withFileTypes: true })) {
+    if (entry.name.startsWith(".") || !entry.isDirectory()) continue;
+    if (entry.name.startsWith("@")) {
+      const scopePath = path.join(nodeModulesPath, entry.name);
+      for (const scoped of fs.readdirSync(scopePath, { withFileTypes: true })) {
+        if (scoped.isDirectory()) dirs.push(path.join(scopePath, scoped.name));
+      }
+    } else {
+      dirs.push(path.join(nodeModulesPath, entry.name));
+    }
+  }
+
+  const modules = [];
+  for (const dir of dirs.sort()) {
+    const pkg = readJson(path.join(dir, "package.json"));
+    if (!pkg || !pkg.name) continue;
+    const binaries = [];
+    walkFiles(dir, (file, name) => {
+      if (!NATIVE_FILE(name)) return;
+      binaries.push({ path: path.relative(path.dirname(nodeModulesPath), file).split(path.sep).join("/"), sha256: sha256File(file) });
+    });
+    modules.push({
+      name: pkg.name,
+      version: pkg.version || "0.0.0",
+      license: normalizeLicense(pkg),
+      homepage: pkg.homepage || null,
+      licenseTexts: readLicenseTexts(dir),
+      binaries,
+    });
+  }
+  return modules;
+}
+
+/** SPDX id named by a banner: SPDX-License-Identifier first, then common wording */
+function detectLicense(text) {
+  const spdx = text.match(/SPDX-License-Identifier:\s*([\w.+-]+(?:\s+(?:OR|AND|WITH)\s+[\w.+-]+)*)/);
+  if (spdx) return spdx[1];
+  const hint = LICENSE_HINTS.find(([pattern]) => pattern.test(text));
+  return hint ? hint[1] : null;
+}
+
+/** Comment body without the comment delimiters and leading asterisks */
+function bannerText(comment) {
+  return comment
+    .replace(/^\/\*[*!]?/, "")
+    .replace(/\*\/$/, "")
+    .split("\n")
+    .map((line) => line.replace(/^\s*\*? ?/, "").trimEnd())
+    .join("\n")
+    .trim();
+}
+
+/** A short name for the code a banner covers */
+function bannerName(text) {
+  const lines = text.split("\n").map((l) => l.trim()).filter(Boolean);
+  const license = lines.findIndex((l) => l.startsWith("@license "));
+  if (license !== -1) {
+    const detail = lines[license + 1] && !/copyright/i.test(lines[license + 1]) ? ` ${lines[license + 1]}` : "";
+    return `${lines[license].slice("@license ".length)}${detail}`;
+  }
+  // "mime-db", "lodash 4.17.21", …
+  if (/^@?[\w.-]+(?:\/[\w.-]+)?(?: v?\d[\w.-]*)?$/.test(lines[0])) return lines[0];
+  const copyright = text.match(/copyright\s*(?:\(c\)|©)?\s*(?:[\d\s,-]+)?([^.\n]+)/i);
+  const first = lines[0].split(/\.\s|,\s/)[0];
+  if (/^copyright/i.test(first) && copyright) return `code by ${copyright[1].trim()}`;
+  return first.length > 80 ? `${first.slice(0, 77)}…` : first;
+}
+
+/** The copyright statement of a banner; one-line banners keep only that sentence */
+function bannerCopyright(text) {
+  const line = text.split("\n").find((l) => /copyright/i.test(l));
+  if (!line) return null;
+  const trimmed = line.trim();
+  return /^copyright/i.test(trimmed) ? trimmed : trimmed.match(/copyright[^.]*/i)[0].replace(/^c/, "C").trim();
+}
+
+/**
+ * License banners left in the bundles, deduplicated by text.
+ *
+ * @returns {{ name: string, license: string|null, copyright: string|null, text: string, files: string[] }[]}
+ */
+function scanLicenseBanners(appDir) {
+  const banners = new Map(); // text → banner
+  for (const rel of BUNDLE_DIRS) {
+    const dir = path.join(appDir, rel);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir).sort()) {
+      if (!name.endsWith(".js")) continue;
+      const source = fs.readFileSync(path.join(dir, name), "utf-8");
+      for (const [comment] of source.matchAll(BLOCK_COMMENT)) {
+        if (!BANNER_HINT.test(comment)) continue;
+        const text = bannerText(comment);
+        if (!text) continue;
+        const file = path.join(rel, name).split(path.sep).join("/");
+        if (banners.has(text)) {
+          const banner = banners.get(text);
+          if (!banner.files.includes(file)) banner.files.push(file);
+          continue;
+        }
+        banners.set(text, {
+          name: bannerName(text),
+          license: detectLicense(text),
+          copyright: bannerCopyright(text),
+          text,
+          files: [file],
+        });
+      }
+    }
+  }
+  return [...banners.values()];
+}
+
+/** The codex CLI binary packageAfterCopy copied into resources/ */
+function describeCodexCli(resourcesPath, platform) {
+  const file = path.join(resourcesPath, binaryName(platform));
+  const pkgDir = path.join(ROOT, "node_modules", "@cometix", "codex");
+  const pkg = readJson(path.join(pkgDir, "package.json")) || {};
+  return {
+    name: "codex",
+    version: loadManifest().version,
+    license: normalizeLicense(pkg) || CODEX_FALLBACK_LICENSE,
+    file: fs.existsSync(file) ? { path: path.basename(file), sha256: sha256File(file) } : null,
+    licenseTexts: readLicenseTexts(pkgDir),
+  };
+}
+
+function describeElectron(electronVersion) {
+  return {
+    name: "electron",
+    version: electronVersion,
+    license: "MIT",
+    licenseTexts: readLicenseTexts(path.join(ROOT, "node_modules", "electron")),
+  };
+}
+
+// ──────────────────────────────────────────────
+//  CycloneDX
+// ──────────────────────────────────────────────
+
+function cdxLicenses(expression) {
+  if (!expression) return undefined;
+  if (SPDX_IDS.has(expression)) return [{ license: { id: expression } }];
+  if (/\s(?:OR|AND|WITH)\s/.test(expression)) return [{ expression }];
+  return [{ license: { name: expression } }];
+}
+
+function npmPurl(name, version) {
+  const encoded = name.startsWith("@") ? `%40${name.slice(1)}` : name;
+  return `pkg:npm/${encoded}@${version}`;
+}
+
+function fileComponent(bomRef, file) {
+  return {
+    type: "file",
+    "bom-ref": bomRef,
+    name: file.path,
+    hashes: [{ alg: "SHA-256", content: file.sha256 }],
+  };
+}
+
+/** Build date: SOURCE_DATE_EPOCH for reproducible builds, else now */
+function buildTimestamp(env = process.env) {
+  const epoch = Number(env.SOURCE_DATE_EPOCH);
+  return new Date(Number.isFinite(epoch) && epoch > 0 ? epoch * 1000 : Date.now()).toISOString();
+}
+
+/**
+ * @param {{ app: { name: string, version: string }, platform: string, arch: string,
+ *   modules: ReturnType<describeNodeModules>, banners: ReturnType<scanLicenseBanners>,
+ *   codex: ReturnType<describeCodexCli>, electron: ReturnType<describeElectron> }} inventory
+ */
+function createSbom({ app, platform, arch, modules, banners, codex, electron }) {
+  const appRef = `app:${app.name}@${app.version}`;
+  const components = [];
+  const refs = [];
+
+  components.push({
+    type: "framework",
+    "bom-ref": `electron@${electron.version}`,
+    name: "electron",
+    version: electron.version,
+    purl: npmPurl("electron", electron.version),
+    licenses: cdxLicenses(electron.license),
+  });
+
+  if (codex.file) {
+    const ref = `codex@${codex.version}`;
+    components.push({
+      type: "application",
+      "bom-ref": ref,
+      name: codex.name,
+      version: codex.version,
+      licenses: cdxLicenses(codex.license),
+      hashes: [{ alg: "SHA-256", content: codex.file.sha256 }],
+      externalReferences: [{ type: "vcs", url: CODEX_REPOSITORY }],
+      properties: [{ name: "codex:path", value: codex.file.path }],
+    });
+  }
+
+  for (const mod of modules) {
+    const ref = npmPurl(mod.name, mod.version);
+    components.push({
+      type: "library",
+      "bom-ref": ref,
+      name: mod.name,
+      version: mod.version,
+      purl: ref,
+      licenses: cdxLicenses(mod.license),
+      externalReferences: mod.homepage ? [{ type: "website", url: mod.homepage }] : undefined,
+      components: mod.binaries.length
+        ? mod.binaries.map((b) => fileComponent(`${ref}#${b.path}`, b))
+        : undefined,
+    });
+  }
+
+  banners.forEach((banner, i) => {
+    components.push({
+      type: "library",
+      "bom-ref": `bundled:${i + 1}`,
+      name: banner.name,
+      copyright: banner.copyright || undefined,
+      licenses: cdxLicenses(banner.license),
+      properties: banner.files.map((file) => ({ name: "codex:bundled-in", value: file })),
+    });
+  });
+
+  for (const c of components) refs.push(c["bom-ref"]);
+
+  return {
+    bomFormat: "CycloneDX",
+    specVersion: "1.5",
+    serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: buildTimestamp(),
+      tools: { components: [{ type: "application", name: "forge.config.js packageAfterPrune" }] },
+      component: {
+        type: "application",
+        "bom-ref": appRef,
+        name: app.name,
+        version: app.version,
+        properties: [{ name: "codex:target", value: `${platform}-${arch}` }],
+      },
+    },
+    components,
+    dependencies: [{ ref: appRef, dependsOn: refs }, ...refs.map((ref) => ({ ref, dependsOn: [] }))],
+  };
+}
+
+// ──────────────────────────────────────────────
+//  Notices
+// ──────────────────────────────────────────────
+
+const RULE = "=".repeat(78);
+
+function noticeSection(title, license, body) {
+  return [RULE, title, license ? `License: ${license}` : "License: (not declared)", RULE, "", body.trim() || "(no license text shipped)", ""].join("\n");
+}
+
+function createNotices({ app, modules, banners, codex, electron }) {
+  const sections = [
+    `${app.name} ${app.version} includes the third-party software listed below.`,
+    "Chromium's own notices ship as LICENSES.chromium.html next to the executable.",
+    "",
+  ];
+
+  sections.push(noticeSection(`Electron ${electron.version}`, electron.license,
+    electron.licenseTexts.map((t) => t.text).join("\n\n")));
+
+  if (codex.file) {
+    sections.push(noticeSection(`codex CLI ${codex.version} (${CODEX_REPOSITORY})`, codex.license,
+      codex.licenseTexts.map((t) => t.text).join("\n\n")));
+  }
+
+  for (const mod of modules) {
+    const body = mod.licenseTexts.map((t) => (mod.licenseTexts.length > 1 ? `--- ${t.file} ---\n${t.text}` : t.text)).join("\n\n");
+    sections.push(noticeSection(`${mod.name} ${mod.version}`, mod.license, body));
+  }
+
+  for (const banner of banners) {
+    sections.push(noticeSection(`${banner.name} (bundled in ${banner.files.join(", ")})`, banner.license, banner.text));
+  }
+
+  return sections.join("\n");
+}
+
+// ──────────────────────────────────────────────
+//  Packaging hook entry point
+// ──────────────────────────────────────────────
+
+/**
+ * Write THIRD_PARTY_NOTICES.txt and sbom.cdx.json into resources/ (the parent
+ * of buildPath) and copy both to <outDir>/sbom/<platform>-<arch>/.
+ *
+ * @returns {{ files: string[], counts: { modules: number, banners: number, codex: boolean } }}
+ */
+function writeSbom({ buildPath, platform, arch, electronVersion, modules, app, outDir = path.join(ROOT, "out") }) {
+  const resourcesPath = path.dirname(buildPath);
+  const inventory = {
+    app,
+    platform,
+    arch,
+    modules,
+    banners: scanLicenseBanners(buildPath),
+    codex: describeCodexCli(resourcesPath, platform),
+    electron: describeElectron(electronVersion),
+  };
+
+  const outputs = {
+    [NOTICES_FILENAME]: createNotices(inventory),
+    [SBOM_FILENAME]: JSON.stringify(createSbom(inventory), null, 2) + "\n",
+  };
+
+  const copyDir = path.join(outDir, "sbom", `${platform}-${arch}`);
+  fs.mkdirSync(copyDir, { recursive: true });
+  const files = [];
+  for (const [name, content] of Object.entries(outputs)) {
+    for (const dir of [resourcesPath, copyDir]) {
+      fs.writeFileSync(path.join(dir, name), content);
+      files.push(path.join(dir, name));
+    }
+  }
+
+  return {
+    files,
+    counts: { modules: modules.length, banners: inventory.banners.length, codex: Boolean(inventory.codex.file) },
+  };
+}
+
+module.exports = {
+  NOTICES_FILENAME,
+  SBOM_FILENAME,
+  describeNodeModules,
+  scanLicenseBanners,
+  createSbom,
+  createNotices,
+  writeSbom,
+};
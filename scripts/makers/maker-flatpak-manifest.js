@@ -0,0 +1,190 @@
+/**
+ * Electron Forge maker: Flatpak manifest
+ *
+ * Instead of running flatpak-builder at make time (which needs the SDK and
+ * Electron BaseApp installed), this maker writes a self-contained
+ * flatpak-builder input directory per arch:
+ *
+ *   out/make/flatpak/<arch>/
+ *     <appId>.json                 flatpak-builder manifest
+ *     <name>-<version>-linux-<arch>.tar.gz   the packaged app (after packageAfterPrune
+ *                                  and packageAfterCopy, so pruned node_modules and
+ *                                  the codex CLI binary are included as-is)
+ *     <appId>.desktop              registers the codex:// protocol (MimeType)
+ *     <appId>.metainfo.xml
+ *     <appId>.png
+ *     <name>-wrapper.sh            launches the app through zypak
+ *
+ * Build and install it with:
+ *   flatpak-builder --user --install --force-clean build-dir out/make/flatpak/x64/<appId>.json
+ *
+ * Usage (forge.config.js):
+ *   { name: "./scripts/makers/maker-flatpak-manifest.js", config: { appId, bin, icon, mimeType, … } }
+ */
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const MakerBase = require("@electron-forge/maker-base").default;
+
+const FLATPAK_ARCH = { x64: "x86_64", arm64: "aarch64" };
+
+const DEFAULT_FINISH_ARGS = [
+  "--share=ipc",
+  "--share=network",
+  "--socket=x11",
+  "--socket=wayland",
+  "--socket=pulseaudio",
+  "--device=dri",
+  "--filesystem=home",
+  "--talk-name=org.freedesktop.Notifications",
+  "--talk-name=org.freedesktop.secrets",
+];
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function desktopEntry({ productName, genericName, name, appId, categories, mimeType, bin }) {
+  const lines = [
+    "[Desktop Entry]",
+    "Type=Application",
+    `Name=${productName}`,
+    genericName && `GenericName=${genericName}`,
+    `Exec=${name} %U`,
+    `Icon=${appId}`,
+    categories.length && `Categories=${categories.join(";")};`,
+    mimeType.length && `MimeType=${mimeType.join(";")};`,
+    `StartupWMClass=${bin}`,
+    "Terminal=false",
+  ];
+  return lines.filter(Boolean).join("\n") + "\n";
+}
+
+function metainfo({ appId, productName, summary, description, license, homepage, version }) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<component type="desktop-application">',
+    `  <id>${escapeXml(appId)}</id>`,
+    "  <metadata_license>CC0-1.0</metadata_license>",
+    `  <project_license>${escapeXml(license)}</project_license>`,
+    `  <name>${escapeXml(productName)}</name>`,
+    `  <summary>${escapeXml(summary)}</summary>`,
+    `  <description><p>${escapeXml(description)}</p></description>`,
+    `  <launchable type="desktop-id">${escapeXml(appId)}.desktop</launchable>`,
+    homepage && `  <url type="homepage">${escapeXml(homepage)}</url>`,
+    "  <releases>",
+    `    <release version="${escapeXml(version)}" date="${new Date().toISOString().slice(0, 10)}"/>`,
+    "  </releases>",
+    "</component>",
+  ].filter(Boolean).join("\n") + "\n";
+}
+
+class MakerFlatpakManifest extends MakerBase {
+  name = "flatpak";
+
+  defaultPlatforms = ["linux"];
+
+  requiredExternalBinaries = ["tar"];
+
+  isSupportedOnCurrentPlatform() {
+    return process.platform !== "win32";
+  }
+
+  async make({ dir, makeDir, targetArch, packageJSON, appName }) {
+    const flatpakArch = FLATPAK_ARCH[targetArch];
+    if (!flatpakArch) throw new Error(`Flatpak: unsupported architecture "${targetArch}"`);
+
+    const options = this.config || {};
+    const appId = options.appId || "com.openai.codex";
+    const name = options.name || packageJSON.name;
+    const bin = options.bin || appName;
+    const productName = options.productName || packageJSON.productName || appName;
+    const { version } = packageJSON;
+
+    if (!fs.existsSync(path.join(dir, bin))) {
+      throw new Error(`Flatpak: executable "${bin}" not found in ${dir}`);
+    }
+
+    const outDir = path.join(makeDir, "flatpak", targetArch);
+    await this.ensureDirectory(outDir);
+
+    const files = {
+      manifest: path.join(outDir, `${appId}.json`),
+      tarball: path.join(outDir, `${name}-${version}-linux-${targetArch}.tar.gz`),
+      desktop: path.join(outDir, `${appId}.desktop`),
+      metainfo: path.join(outDir, `${appId}.metainfo.xml`),
+      icon: path.join(outDir, `${appId}.png`),
+      wrapper: path.join(outDir, `${name}-wrapper.sh`),
+    };
+
+    // Packaged app as-is; tar keeps the exec bits of Codex, chrome-sandbox and
+    // the unpacked node-pty helpers
+    const tar = spawnSync("tar", ["-czf", files.tarball, "-C", path.dirname(dir), path.basename(dir)], {
+      stdio: "inherit",
+    });
+    if (tar.status !== 0) throw new Error(`Flatpak: tar exited with ${tar.status}`);
+
+    fs.writeFileSync(
+      files.desktop,
+      desktopEntry({
+        productName,
+        genericName: options.genericName,
+        name,
+        appId,
+        categories: options.categories || [],
+        mimeType: options.mimeType || [],
+        bin,
+      })
+    );
+    fs.writeFileSync(
+      files.metainfo,
+      metainfo({
+        appId,
+        productName,
+        summary: options.genericName || packageJSON.description || productName,
+        description: packageJSON.description || productName,
+        license: options.license || "LicenseRef-proprietary",
+        homepage: options.homepage,
+        version,
+      })
+    );
+    fs.copyFileSync(path.resolve(options.icon), files.icon);
+    fs.writeFileSync(files.wrapper, `#!/bin/sh\nexec zypak-wrapper /app/lib/${name}/${bin} "$@"\n`, { mode: 0o755 });
+
+    const runtimeVersion = options.runtimeVersion || "24.08";
+    const manifest = {
+      "app-id": appId,
+      runtime: "org.freedesktop.Platform",
+      "runtime-version": runtimeVersion,
+      sdk: "org.freedesktop.Sdk",
+      base: "org.electronjs.Electron2.BaseApp",
+      "base-version": runtimeVersion,
+      command: name,
+      "separate-locales": false,
+      "finish-args": options.finishArgs || DEFAULT_FINISH_ARGS,
+      modules: [
+        {
+          name,
+          buildsystem: "simple",
+          "build-commands": [
+            `mkdir -p /app/lib/${name}`,
+            `tar -xzf ${path.basename(files.tarball)} -C /app/lib/${name} --strip-components=1`,
+            `install -Dm755 ${path.basename(files.wrapper)} /app/bin/${name}`,
+            `install -Dm644 ${appId}.desktop /app/share/applications/${appId}.desktop`,
+            `install -Dm644 ${appId}.metainfo.xml /app/share/metainfo/${appId}.metainfo.xml`,
+            `install -Dm644 ${appId}.png /app/share/icons/hicolor/512x512/apps/${appId}.png`,
+          ],
+          sources: Object.values(files)
+            .filter((f) => f !== files.manifest)
+            .map((f) => ({ type: "file", path: path.basename(f), "only-arches": [flatpakArch] })),
+        },
+      ],
+    };
+    fs.writeFileSync(files.manifest, JSON.stringify(manifest, null, 2) + "\n");
+
+    return Object.values(files);
+  }
+}
+
+module.exports = MakerFlatpakManifest;
+module.exports.default = MakerFlatpakManifest;
@@ -0,0 +1,246 @@
+/**
+ * Post-build patch: white-label branding
+ *
+ * Renames what the bundles hard-code after branding.toml, so a rebranded
+ * build can be installed next to the upstream app without the two fighting
+ * over the protocol handler or sharing a user-data directory:
+ *
+ *   app-name         prepends app.setName() + the userData path to main.js
+ *                    (Electron derives both from package.json before any app
+ *                    code runs)
+ *   protocol         setAsDefaultProtocolClient("codex") and the "codex:" /
+ *                    "codex://" prefixes the deep-link parser checks
+ *   app-id           AppUserModelId (Windows) and the macOS log directory
+ *   log-dir          the Windows / Linux log directories
+ *   window-title     default BrowserWindow titles and the webview <title>
+ *   branding-record  src/.vite/build/branding.json, the values applied, so
+ *                    the next run can rename from them again
+ *
+ * The About panel copyright is handled by patch-copyright.js; installers,
+ * bundle id and icons by forge.config.js. With the upstream values in
+ * branding.toml every rule reports already-applied.
+ *
+ * Usage:
+ *   node scripts/patch-branding.js          # apply patch
+ *   node scripts/patch-branding.js --check  # read-only status check
+ *   node scripts/patch-branding.js --json   # print the report as JSON
+ *   CODEX_BRANDING=<file> node scripts/patch-branding.js
+ */
+const { getKeyName, getPropertyName, targets, runPatchCli } = require("./lib/patch-engine");
+const { loadBranding, appliedRecord, previousValues, APPLIED_PATH } = require("./lib/branding");
+
+const MARKER = "/* branding-patch */";
+
+const PROTOCOL_METHODS = new Set(["setAsDefaultProtocolClient", "removeAsDefaultProtocolClient", "isDefaultProtocolClient"]);
+
+// ──────────────────────────────────────────────
+//  Code snippet that gets prepended to main.js
+// ──────────────────────────────────────────────
+
+/**
+ * Electron has already named the app and its userData directory after
+ * package.json; rename both unless --user-data-dir was given explicitly.
+ */
+function appNameSnippet(name) {
+  const n = JSON.stringify(name);
+  return (
+    `${MARKER}` +
+    `try{const{app:a}=require("electron"),p=require("path");` +
+    `if(a.getName()!==${n}){a.setName(${n});` +
+    `if(!process.argv.some(s=>s.startsWith("--user-data-dir")))a.setPath("userData",p.join(a.getPath("appData"),${n}))}}` +
+    `catch(e){console.error("[branding] failed to set the app name",e)}` +
+    "\n"
+  );
+}
+
+// ──────────────────────────────────────────────
+//  Matchers
+// ──────────────────────────────────────────────
+
+function isString(node) {
+  return !!node && node.type === "Literal" && typeof node.value === "string";
+}
+
+/**
+ * ast rule replacing string literals found by `pick(node)`: literals holding
+ * one of `from` become `to`, literals already holding `to` count as applied.
+ */
+function literalRule({ id, target, description, pick, from, to }) {
+  const stale = from.filter((v) => v !== to);
+  const literalsOf = (node) => (pick(node) || []).filter(isString);
+  return {
+    id,
+    type: "ast",
+    target,
+    description,
+    maxMatches: Infinity,
+    match(node) {
+      const literal = literalsOf(node).find((l) => stale.includes(l.value));
+      if (!literal) return null;
+      return { start: literal.start, end: literal.end, replacement: JSON.stringify(to) };
+    },
+    applied(node) {
+      return literalsOf(node).some((l) => l.value === to);
+    },
+  };
+}
+
+/** Literal itself */
+const self = (node) => [node];
+
+/** First argument of app.setAsDefaultProtocolClient() and friends */
+function protocolClientArg(node) {
+  if (node.type !== "CallExpression" || node.callee.type !== "MemberExpression") return null;
+  return PROTOCOL_METHODS.has(getPropertyName(node.callee)) ? [node.arguments[0]] : null;
+}
+
+/** X.join(…, "<dir>", "Logs") / X.join(…, "<dir>", "logs") → the "<dir>" literal */
+function logDirArg(node) {
+  if (node.type !== "CallExpression" || node.callee.type !== "MemberExpression") return null;
+  if (getPropertyName(node.callee) !== "join") return null;
+  const args = node.arguments;
+  const i = args.findIndex((a) => isString(a) && /^logs$/i.test(a.value));
+  return i > 0 ? [args[i - 1]] : null;
+}
+
+/**
+ * Default window titles:
+ *   title: n ?? "Codex"
+ *   const RO = "Codex"                        (overlay windows: title: i ?? RO)
+ *   n.kind === "local" ? "Codex" : n.display_name
+ */
+function windowTitle(node) {
+  if (node.type === "Property" && getKeyName(node) === "title" && node.value.type === "LogicalExpression") {
+    return [node.value.right];
+  }
+  if (node.type === "VariableDeclarator" && isString(node.init)) return [node.init];
+  if (
+    node.type === "ConditionalExpression" &&
+    node.test.type === "BinaryExpression" &&
+    node.test.left.type === "MemberExpression" &&
+    getPropertyName(node.test.left) === "kind" &&
+    isString(node.test.right) &&
+    node.test.right.value === "local"
+  ) {
+    return [node.consequent];
+  }
+  return null;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// ──────────────────────────────────────────────
+//  Patch manifest
+// ──────────────────────────────────────────────
+
+function buildPatch(branding) {
+  const { name, id, protocol } = branding;
+  const names = previousValues("name");
+  const protocols = previousValues("protocol");
+  const ids = previousValues("id");
+  const packages = previousValues("package");
+
+  const rules = [
+    {
+      id: "app-name",
+      type: "marker",
+      target: targets.mainEntry,
+      description: `app name and userData directory → "${name}"`,
+      marker: MARKER,
+      position: "prepend",
+      snippet: appNameSnippet(name),
+    },
+    literalRule({
+      id: "protocol-client",
+      target: targets.mainBundle,
+      description: `setAsDefaultProtocolClient("${protocol}")`,
+      pick: protocolClientArg,
+      from: protocols,
+      to: protocol,
+    }),
+    ...[["protocol-scheme", ":"], ["protocol-prefix", "://"]].map(([ruleId, suffix]) =>
+      literalRule({
+        id: ruleId,
+        target: targets.mainBundle,
+        description: `deep-link prefix "${protocol}${suffix}"`,
+        pick: self,
+        from: protocols.map((p) => p + suffix),
+        to: protocol + suffix,
+      })
+    ),
+  ];
+
+  for (const [label, target] of [["main", targets.mainBundle], ["worker", targets.buildFile("worker.js")]]) {
+    rules.push(
+      literalRule({
+        id: `app-id@${label}`,
+        target,
+        description: `AppUserModelId / macOS log directory → "${id}"`,
+        pick: self,
+        from: ids,
+        to: id,
+      }),
+      literalRule({
+        id: `log-dir@${label}`,
+        target,
+        description: `Windows log directory → "${name}"`,
+        pick: logDirArg,
+        from: names.filter((v) => !packages.includes(v)),
+        to: name,
+      }),
+      literalRule({
+        id: `log-dir-linux@${label}`,
+        target,
+        description: `Linux log directory → "${branding.package}"`,
+        pick: logDirArg,
+        from: packages,
+        to: branding.package,
+      })
+    );
+  }
+
+  rules.push(
+    literalRule({
+      id: "window-title",
+      target: targets.mainBundle,
+      description: `default window titles → "${name}"`,
+      pick: windowTitle,
+      from: names,
+      to: name,
+    }),
+    {
+      id: "html-title",
+      type: "replace",
+      target: targets.webviewHtml,
+      description: `webview <title> → "${name}"`,
+      pattern: /<title>[^<]*<\/title>/,
+      replace: () => `<title>${escapeHtml(name)}</title>`,
+    },
+    {
+      id: "branding-record",
+      type: "file",
+      target: () => APPLIED_PATH,
+      description: "record the applied branding in .vite/build/branding.json",
+      content: () => JSON.stringify(appliedRecord(branding), null, 2) + "\n",
+    }
+  );
+
+  return { id: "branding", title: "White-label branding", rules };
+}
+
+function createPatch() {
+  return buildPatch(loadBranding());
+}
+
+module.exports = { createPatch };
+
+if (require.main === module) {
+  try {
+    runPatchCli(createPatch());
+  } catch (err) {
+    console.error("❌", err.message);
+    process.exit(1);
+  }
+}
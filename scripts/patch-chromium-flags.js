@@ -1,45 +1,32 @@
 /**
- * Post-build patch: inject Chromium command-line flags into main.js
+ * Post-build patch: resolve Chromium command-line flags at launch
  *
- * Prepends app.commandLine.appendSwitch() calls to the Electron entry point
- * so they are active before any app code runs:
+ *   1. emits src/.vite/build/chromium-flags.js (from scripts/runtime/)
+ *   2. prepends a call to it to main.js, so the switches are appended before
+ *      any app code runs
  *
- *   GPU rasterization  – smoother rendering via hardware-accelerated raster
- *   Background throttling fixes – prevents timers / animations from being
- *                                  throttled when the window is in the background
+ * The defaults are the same as before (GPU rasterization, background
+ * throttling fixes), but users can now change or drop them with
+ * $CODEX_HOME/chromium-flags.json, per-platform profiles, the
+ * CODEX_CHROMIUM_FLAGS env var, or skip them all with --safe-mode. See
+ * scripts/runtime/chromium-flags.js.
  *
  * Usage:
  *   node scripts/patch-chromium-flags.js          # apply patch
  *   node scripts/patch-chromium-flags.js --check  # read-only status check
+ *   node scripts/patch-chromium-flags.js --json   # print the report as JSON
  */
 const fs = require("fs");
 const path = require("path");
+const { targets, runPatchCli } = require("./lib/patch-engine");
+const { DEFAULT_FLAGS } = require("./runtime/chromium-flags");
 
 // ──────────────────────────────────────────────
-//  Flags to inject
+//  Runtime module
 // ──────────────────────────────────────────────
 
-/**
- * Each entry becomes:
- *   app.commandLine.appendSwitch(flag[, value])
- *
- * Flags without a value use `null`.
- */
-const FLAGS = [
-  // ── GPU rasterization ──────────────────────
-  // Enable Chromium's GPU rasterisation pipeline
-  { flag: "enable-gpu-rasterization",          value: null },
-  // Use zero-copy texture upload where the GPU supports it
-  { flag: "enable-zero-copy",                  value: null },
-  // Skip the GPU driver blocklist so rasterisation isn't disabled on
-  // common consumer GPUs (safe inside a controlled Electron app)
-  { flag: "ignore-gpu-blocklist",              value: null },
-  // ── Background throttling fixes ───────────
-  // Keep renderer process priority when the window loses focus
-  { flag: "disable-renderer-backgrounding",    value: null },
-  // Prevent setTimeout/setInterval from being slowed to 1 Hz in background
-  { flag: "disable-background-timer-throttling", value: null },
-];
+const MODULE_FILENAME = "chromium-flags.js";
+const MODULE_SOURCE = path.join(__dirname, "runtime", MODULE_FILENAME);
 
 // ──────────────────────────────────────────────
 //  Code snippet that gets prepended to main.js
@@ -47,66 +34,40 @@ const FLAGS = [
 
 const MARKER = "/* chromium-flags-patch */";
 
-function buildSnippet() {
-  const switchCalls = FLAGS.map(({ flag, value }) =>
-    value === null
-      ? `__app.commandLine.appendSwitch(${JSON.stringify(flag)});`
-      : `__app.commandLine.appendSwitch(${JSON.stringify(flag)},${JSON.stringify(value)});`
-  ).join("");
-
-  return (
-    `${MARKER}` +
-    `const{app:__app}=require("electron");` +
-    switchCalls +
-    "\n"
-  );
-}
-
-// ──────────────────────────────────────────────
-//  File location
-// ──────────────────────────────────────────────
-
-function locateMainJs() {
-  const target = path.join(__dirname, "..", "src", ".vite", "build", "main.js");
-  if (!fs.existsSync(target)) {
-    console.error("❌ main.js not found:", target);
-    process.exit(1);
-  }
-  return target;
-}
+// A broken flags file or module must never keep the app from starting
+const SNIPPET =
+  `${MARKER}` +
+  `try{require("./${MODULE_FILENAME}").applyChromiumFlags()}` +
+  `catch(e){console.error("[chromium-flags] failed to apply switches",e)}` +
+  "\n";
 
 // ──────────────────────────────────────────────
-//  Main
+//  Patch manifest
 // ──────────────────────────────────────────────
 
-function main() {
-  const isCheck = process.argv.includes("--check");
-  const mainJs = locateMainJs();
-  const relPath = path.relative(path.join(__dirname, ".."), mainJs);
-  const source = fs.readFileSync(mainJs, "utf-8");
-  const alreadyPatched = source.includes(MARKER);
-
-  if (isCheck) {
-    console.log("\n── Chromium flags patch check (read-only) ──\n");
-    console.log(`  📄 ${relPath}: ${alreadyPatched ? "✅ already patched" : "🔧 not yet patched"}`);
-    if (alreadyPatched) {
-      console.log("\n✅ Chromium flags are active");
-    } else {
-      console.log("\n💡 Run node scripts/patch-chromium-flags.js to apply");
-    }
-    return;
-  }
-
-  if (alreadyPatched) {
-    console.log("ℹ️  Chromium flags already patched, no changes needed");
-    return;
-  }
+const PATCH = {
+  id: "chromium-flags",
+  title: "Chromium flags",
+  rules: [
+    {
+      id: "chromium-flags-module",
+      type: "file",
+      target: targets.buildAsset(MODULE_FILENAME),
+      description: `emit .vite/build/${MODULE_FILENAME} (defaults: ${Object.keys(DEFAULT_FLAGS).join(", ")})`,
+      content: () => fs.readFileSync(MODULE_SOURCE, "utf-8"),
+    },
+    {
+      id: "chromium-flags",
+      type: "marker",
+      target: targets.mainEntry,
+      description: `prepend require("./${MODULE_FILENAME}").applyChromiumFlags()`,
+      marker: MARKER,
+      position: "prepend",
+      snippet: SNIPPET,
+    },
+  ],
+};
 
-  const snippet = buildSnippet();
-  fs.writeFileSync(mainJs, snippet + source);
-  console.log(`  ✏️  Prepended Chromium flags to ${relPath}`);
-  FLAGS.forEach(({ flag }) => console.log(`       + ${flag}`));
-  console.log("\n✅ Chromium flags injected");
-}
+module.exports = PATCH;
 
-main();
+if (require.main === module) runPatchCli(PATCH);
@@ -0,0 +1,247 @@
+/**
+ * Post-build patch: extend the webview Content-Security-Policy
+ *
+ * src/webview/index.html carries a CSP <meta> tag whose connect-src only
+ * allows ab.chatgpt.com and cdn.openai.com, so a renderer talking to a
+ * self-hosted endpoint (CODEX_API_BASE_URL, an internal gateway, …) is
+ * blocked. This patch regenerates the tag from csp-overrides.toml:
+ *
+ *   - adds the listed origins to connect-src, img-src and frame-src
+ *   - adds a 'sha256-…' script-src hash for every inline <script> in the page
+ *     (upstream hashes are kept)
+ *   - records what it added in a data-csp-patch attribute, so a re-run with a
+ *     changed config removes origins that are no longer listed
+ *
+ * The generated policy is parsed back and validated (directive names, source
+ * expressions, hashes) before anything is written; with --check this is all
+ * that happens.
+ *
+ * Usage:
+ *   node scripts/patch-csp.js                        # apply patch
+ *   node scripts/patch-csp.js --check                # verify, read-only
+ *   node scripts/patch-csp.js --json                 # print the report as JSON
+ *   node scripts/patch-csp.js --csp-overrides <file> # other config (.toml / .json)
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ROOT, targets, runPatchCli } = require("./lib/patch-engine");
+
+const DEFAULT_OVERRIDES = path.join(ROOT, "csp-overrides.toml");
+
+/** Directives the config may extend */
+const CONFIGURABLE = ["connect-src", "img-src", "frame-src"];
+
+const KNOWN_DIRECTIVES = new Set([
+  "default-src", "script-src", "script-src-elem", "script-src-attr", "style-src", "style-src-elem",
+  "style-src-attr", "img-src", "font-src", "connect-src", "media-src", "object-src", "frame-src",
+  "child-src", "worker-src", "manifest-src", "form-action", "frame-ancestors", "base-uri",
+  "upgrade-insecure-requests", "block-all-mixed-content", "sandbox", "report-uri", "report-to",
+]);
+
+const KEYWORDS = new Set([
+  "'self'", "'none'", "'unsafe-inline'", "'unsafe-eval'", "'wasm-unsafe-eval'", "'unsafe-hashes'",
+  "'strict-dynamic'", "'report-sample'", "'unsafe-allow-redirects'",
+]);
+
+const SCHEME_SOURCE = /^[a-z][a-z0-9+.-]*:$/i;
+const HOST_SOURCE = /^(?:[a-z][a-z0-9+.-]*:\/\/)?(?:\*|(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(?:\d{1,5}|\*))?(?:\/[^\s;,]*)?$/i;
+const HASH_SOURCE = /^'(sha256|sha384|sha512)-[A-Za-z0-9+/]+={0,2}'$/;
+const NONCE_SOURCE = /^'nonce-[A-Za-z0-9+/_-]+={0,2}'$/;
+
+const META_PATTERN = /<meta http-equiv="Content-Security-Policy" content="[^"]*"(?: data-csp-patch="[^"]*")?>/;
+
+// ──────────────────────────────────────────────
+//  Config
+// ──────────────────────────────────────────────
+
+/**
+ * Read the overrides file → { "connect-src": [...], "img-src": [...], "frame-src": [...] }
+ *
+ * TOML and JSON share one shape:
+ *   { sources: { "connect-src": ["https://gateway.example.com"], … } }
+ */
+function loadOverrides(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`CSP overrides file not found: ${path.relative(ROOT, file)}`);
+  }
+  const text = fs.readFileSync(file, "utf-8");
+  const data = file.endsWith(".json") ? JSON.parse(text) : require("smol-toml").parse(text);
+
+  const extra = Object.fromEntries(CONFIGURABLE.map((d) => [d, []]));
+  for (const [directive, sources] of Object.entries(data.sources || {})) {
+    if (!CONFIGURABLE.includes(directive)) {
+      throw new Error(`sources.${directive}: only ${CONFIGURABLE.join(", ")} can be extended`);
+    }
+    if (!Array.isArray(sources) || sources.some((s) => typeof s !== "string")) {
+      throw new Error(`sources.${directive} must be an array of strings`);
+    }
+    for (const source of sources) {
+      if (!isValidSource(source) || source.startsWith("'")) {
+        throw new Error(`sources.${directive}: "${source}" is not a valid origin (e.g. https://gateway.example.com)`);
+      }
+    }
+    extra[directive] = [...new Set(sources)];
+  }
+  return extra;
+}
+
+// ──────────────────────────────────────────────
+//  Policy
+// ──────────────────────────────────────────────
+
+function decodeAttr(value) {
+  return value.replace(/&#39;/g, "'").replace(/&quot;/g, '"').replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+function encodeAttr(value) {
+  return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/'/g, "&#39;");
+}
+
+/** "a 'self'; b x y;" → [{ name: "a", sources: ["'self'"] }, …] (order kept) */
+function parsePolicy(policy) {
+  return policy
+    .split(";")
+    .map((d) => d.trim())
+    .filter(Boolean)
+    .map((d) => {
+      const [name, ...sources] = d.split(/\s+/);
+      return { name: name.toLowerCase(), sources };
+    });
+}
+
+function serializePolicy(directives) {
+  return directives.map((d) => [d.name, ...d.sources].join(" ")).join("; ") + ";";
+}
+
+function isValidSource(source) {
+  return (
+    KEYWORDS.has(source) ||
+    HASH_SOURCE.test(source) ||
+    NONCE_SOURCE.test(source) ||
+    SCHEME_SOURCE.test(source) ||
+    HOST_SOURCE.test(source)
+  );
+}
+
+/** Problems with a parsed policy; empty when it is well-formed */
+function validatePolicy(directives) {
+  const errors = [];
+  const seen = new Set();
+  for (const { name, sources } of directives) {
+    if (!KNOWN_DIRECTIVES.has(name)) errors.push(`unknown directive "${name}"`);
+    if (seen.has(name)) errors.push(`duplicate directive "${name}"`);
+    seen.add(name);
+    if (name === "sandbox" || name.startsWith("report-") || name === "upgrade-insecure-requests" || name === "block-all-mixed-content") {
+      continue;
+    }
+    for (const source of sources) {
+      if (!isValidSource(source)) errors.push(`${name}: invalid source expression ${source}`);
+    }
+    if (sources.includes("'none'") && sources.length > 1) errors.push(`${name}: 'none' combined with other sources`);
+  }
+  return errors;
+}
+
+/** 'sha256-…' for every inline <script> (no src attribute) in the page */
+function inlineScriptHashes(html) {
+  const hashes = [];
+  for (const m of html.matchAll(/<script\b(?![^>]*\bsrc\s*=)[^>]*>([\s\S]*?)<\/script>/gi)) {
+    hashes.push(`'sha256-${crypto.createHash("sha256").update(m[1], "utf8").digest("base64")}'`);
+  }
+  return [...new Set(hashes)];
+}
+
+/** data-csp-patch value ↔ { directive: [sources] } */
+function parseAdded(value) {
+  const added = {};
+  for (const { name, sources } of parsePolicy(value || "")) added[name] = sources;
+  return added;
+}
+
+/**
+ * Regenerate the CSP meta tag: strip what a previous run added, add the
+ * configured origins and inline-script hashes, then validate the result.
+ */
+function buildMetaTag(tag, html, extra) {
+  const content = decodeAttr(tag.match(/content="([^"]*)"/)[1]);
+  const previous = parseAdded(decodeAttr((tag.match(/data-csp-patch="([^"]*)"/) || [])[1] || ""));
+  const directives = parsePolicy(content);
+
+  // back to the upstream policy
+  for (const d of directives) {
+    const remove = new Set(previous[d.name] || []);
+    d.sources = d.sources.filter((s) => !remove.has(s));
+  }
+  const upstream = directives.filter((d) => d.sources.length > 0 || !previous[d.name]);
+
+  const additions = { ...extra, "script-src": inlineScriptHashes(html) };
+  const added = [];
+  for (const [name, sources] of Object.entries(additions)) {
+    let directive = upstream.find((d) => d.name === name);
+    const missing = sources.filter((s) => !directive || !directive.sources.includes(s));
+    if (missing.length === 0) continue;
+    if (!directive) {
+      directive = { name, sources: [] };
+      upstream.push(directive);
+    }
+    directive.sources.push(...missing);
+    added.push({ name, sources: missing });
+  }
+
+  const policy = serializePolicy(upstream);
+
+  // the result must parse back to a well-formed policy carrying every addition
+  const reparsed = parsePolicy(policy);
+  const errors = validatePolicy(reparsed);
+  for (const { name, sources } of added) {
+    const directive = reparsed.find((d) => d.name === name);
+    for (const s of sources) if (!directive || !directive.sources.includes(s)) errors.push(`${name}: ${s} missing after regeneration`);
+  }
+  if (errors.length > 0) throw new Error(`generated CSP is invalid: ${errors.join("; ")}`);
+
+  const marker = added.length ? ` data-csp-patch="${encodeAttr(serializePolicy(added))}"` : "";
+  return `<meta http-equiv="Content-Security-Policy" content="${encodeAttr(policy)}"${marker}>`;
+}
+
+// ──────────────────────────────────────────────
+//  Patch manifest
+// ──────────────────────────────────────────────
+
+function buildPatch(extra) {
+  const listed = CONFIGURABLE.filter((d) => extra[d].length).map((d) => `${d} +${extra[d].length}`);
+  return {
+    id: "csp",
+    title: "Content-Security-Policy",
+    rules: [
+      {
+        id: "csp-meta",
+        type: "replace",
+        target: targets.webviewHtml,
+        description: `regenerate the CSP meta tag (${listed.length ? listed.join(", ") : "no extra origins"}, inline script hashes)`,
+        pattern: META_PATTERN,
+        replace: (tag, html) => buildMetaTag(tag, html, extra),
+      },
+    ],
+  };
+}
+
+function getOverridesPath(argv) {
+  const idx = argv.indexOf("--csp-overrides");
+  return idx !== -1 && argv[idx + 1] ? path.resolve(argv[idx + 1]) : DEFAULT_OVERRIDES;
+}
+
+function createPatch(argv = process.argv.slice(2)) {
+  return buildPatch(loadOverrides(getOverridesPath(argv)));
+}
+
+module.exports = { createPatch, loadOverrides, parsePolicy, validatePolicy };
+
+if (require.main === module) {
+  try {
+    runPatchCli(createPatch());
+  } catch (err) {
+    console.error("❌", err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Post-build patch: richer codex:// deep-link routes
+ *
+ * The main bundle's deep-link parser only knows codex://settings, skills,
+ * automations, new and threads/<id>|new. This patch:
+ *
+ *   1. emits src/.vite/build/deep-links.js (from scripts/runtime/)
+ *   2. asks parseDeepLink() first in the parser (switch on url.host with
+ *      "settings" / "threads" cases); undefined falls through to upstream
+ *   3. asks navigate() first in the router ({ window, route, navigateToRoute,
+ *      … }), which handles the new kinds or hands a route back
+ *   4. hands the application menu builder's options to deep-links.js
+ *      (selectHost, for links pinned to a host)
+ *   5. hands the bundle's deep-link handler (the one open-url calls) to
+ *      deep-links.js, so other modules can open links
+ *
+ * Usage:
+ *   node scripts/patch-deep-links.js          # apply patch
+ *   node scripts/patch-deep-links.js --check  # read-only status check
+ *   node scripts/patch-deep-links.js --json   # print the report as JSON
+ */
+const fs = require("fs");
+const path = require("path");
+const { walk, getKeyName, getPropertyName, targets, runPatchCli } = require("./lib/patch-engine");
+
+// ──────────────────────────────────────────────
+//  Runtime module
+// ──────────────────────────────────────────────
+
+const MODULE_FILENAME = "deep-links.js";
+const MARKER = "/*deep-links*/";
+
+// deep-links.js never throws from these; the catch reports a missing or broken module
+const failed = `catch(t){console.error("[deep-links] hook failed",t)}`;
+
+// ──────────────────────────────────────────────
+//  Patch manifest
+// ──────────────────────────────────────────────
+
+const startsWithMarker = (block, source) => source.startsWith(MARKER, block.start + 1);
+const propertyNames = (object) => object.properties.map((p) => p.type === "Property" && getKeyName(p));
+const caseValues = (switchNode) => switchNode.cases.map((c) => c.test?.type === "Literal" && c.test.value);
+
+/** function parse(link) { …; switch (url.host) { case "settings": … case "threads": … } } */
+function deepLinkParser(node) {
+  if (node.type !== "FunctionDeclaration" || node.params.length !== 1 || node.params[0].type !== "Identifier") return null;
+  const found = node.body.body.find((s) => s.type === "SwitchStatement" && s.discriminant.type === "MemberExpression" &&
+    s.discriminant.property.name === "host" && ["settings", "threads", "new"].every((v) => caseValues(s).includes(v)));
+  return found ? { body: node.body, link: node.params[0].name } : null;
+}
+
+/** async function route({ window, route, navigateToRoute, windowManager, … }) { switch (route.kind) { … } } */
+function deepLinkRouter(node) {
+  if (node.type !== "FunctionDeclaration" || !node.async || node.params.length !== 1) return null;
+  const [param] = node.params;
+  if (param.type !== "ObjectPattern") return null;
+  const bindings = {};
+  for (const p of param.properties) if (p.type === "Property" && p.value.type === "Identifier") bindings[getKeyName(p)] = p.value.name;
+  if (!["window", "route", "navigateToRoute", "windowManager"].every((k) => bindings[k])) return null;
+  return { body: node.body, window: bindings.window, route: bindings.route };
+}
+
+/** function builder({ getElectronMessageHandlerForWindow, navigateToRoute, selectHost, … }) { … } */
+function isMenuBuilder(node) {
+  if (node.type !== "FunctionDeclaration" || !node.id || node.params.length !== 1) return false;
+  const [param] = node.params;
+  if (param.type !== "ObjectPattern") return false;
+  const names = propertyNames(param);
+  return ["getElectronMessageHandlerForWindow", "navigateToRoute", "selectHost"].every((k) => names.includes(k));
+}
+
+/** function deepLinks({ app, initialArgv, … }) { function open(url) {…} …; app.on("open-url", (e, url) => { open(url) && … }); return {…} } */
+function deepLinkOpener(node) {
+  if (node.type !== "FunctionDeclaration" || node.params.length !== 1) return null;
+  const [param] = node.params;
+  if (param.type !== "ObjectPattern") return null;
+  const names = propertyNames(param);
+  if (!["app", "initialArgv", "ensurePrimaryWindowVisible", "navigateToRoute"].every((k) => names.includes(k))) return null;
+  const ret = node.body.body[node.body.body.length - 1];
+  if (ret?.type !== "ReturnStatement") return null;
+  let open = null;
+  walk(node.body, (n) => {
+    if (open || n.type !== "CallExpression" || n.callee.type !== "MemberExpression" || getPropertyName(n.callee) !== "on") return;
+    const [event, listener] = n.arguments;
+    if (event?.type !== "Literal" || event.value !== "open-url" || !listener?.type.endsWith("FunctionExpression")) return;
+    walk(listener.body, (c) => {
+      if (!open && c.type === "CallExpression" && c.callee.type === "Identifier") open = c.callee.name;
+    });
+  });
+  return open ? { body: node.body, ret, open } : null;
+}
+
+const PATCH = {
+  id: "deep-links",
+  title: "Richer codex:// deep links",
+  rules: [
+    {
+      id: "deep-links-module",
+      type: "file",
+      target: targets.buildAsset(MODULE_FILENAME),
+      description: `emit .vite/build/${MODULE_FILENAME}`,
+      content: () => fs.readFileSync(path.join(__dirname, "runtime", MODULE_FILENAME), "utf-8"),
+    },
+    {
+      id: "deep-links-parser",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "deep-link parser → parseDeepLink() first",
+      match(node, source) {
+        const parser = deepLinkParser(node);
+        if (!parser || startsWithMarker(parser.body, source)) return null;
+        const at = parser.body.start + 1;
+        return {
+          start: at,
+          end: at,
+          replacement:
+            `${MARKER}try{const __dl=require("./${MODULE_FILENAME}").parseDeepLink(${parser.link});if(__dl!==void 0)return __dl}` +
+            `catch(__e){console.error("[deep-links] parse failed",__e)}`,
+        };
+      },
+      applied(node, source) {
+        const parser = deepLinkParser(node);
+        return !!parser && startsWithMarker(parser.body, source);
+      },
+    },
+    {
+      id: "deep-links-router",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "deep-link router → navigate() first",
+      match(node, source) {
+        const router = deepLinkRouter(node);
+        if (!router || startsWithMarker(router.body, source)) return null;
+        const at = router.body.start + 1;
+        return {
+          start: at,
+          end: at,
+          replacement:
+            `${MARKER}try{const __dl=await require("./${MODULE_FILENAME}").navigate(arguments[0]);if(__dl===null)return;` +
+            `${router.window}=__dl.window,${router.route}=__dl.route}catch(__e){console.error("[deep-links] navigation failed",__e)}`,
+        };
+      },
+      applied(node, source) {
+        const router = deepLinkRouter(node);
+        return !!router && startsWithMarker(router.body, source);
+      },
+    },
+    {
+      id: "deep-links-menu-host",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "attachMenuHost() at the end of the application menu builder",
+      match(node, source) {
+        if (!isMenuBuilder(node) || source.slice(node.body.start, node.body.end).includes(MARKER)) return null;
+        const end = node.body.end - 1;
+        return {
+          start: end,
+          end,
+          replacement: `;${MARKER}try{require("./${MODULE_FILENAME}").attachMenuHost(arguments[0])}${failed}`,
+        };
+      },
+      applied(node, source) {
+        return isMenuBuilder(node) && source.slice(node.body.start, node.body.end).includes(MARKER);
+      },
+    },
+    {
+      id: "deep-links-opener",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "deep-link handler → attachOpener()",
+      match(node, source) {
+        const opener = deepLinkOpener(node);
+        if (!opener || source.slice(opener.body.start, opener.body.end).includes(MARKER)) return null;
+        return {
+          start: opener.ret.start,
+          end: opener.ret.start,
+          replacement: `${MARKER}try{require("./${MODULE_FILENAME}").attachOpener(${opener.open})}${failed}`,
+        };
+      },
+      applied(node, source) {
+        const opener = deepLinkOpener(node);
+        return !!opener && source.slice(opener.body.start, opener.body.end).includes(MARKER);
+      },
+    },
+  ],
+};
+
+module.exports = PATCH;
+
+if (require.main === module) runPatchCli(PATCH);
@@ -0,0 +1,50 @@
+/**
+ * Post-build patch: dev-mode reload hook
+ *
+ * Prepends a one-line hook to main.js that, when CODEX_DEV_RELOAD is set and
+ * the app is not packaged, loads scripts/runtime/dev-reload.js from that path
+ * so `npm run dev:watch` can reload the renderer without restarting the main
+ * process. Packaged builds never load it, and nothing else is emitted.
+ *
+ * Usage:
+ *   node scripts/patch-dev-reload.js          # apply patch
+ *   node scripts/patch-dev-reload.js --check  # read-only status check
+ *   node scripts/patch-dev-reload.js --json   # print the report as JSON
+ */
+const { targets, runPatchCli } = require("./lib/patch-engine");
+const { MARKER } = require("./runtime/dev-reload");
+
+// ──────────────────────────────────────────────
+//  Code snippet that gets prepended to main.js
+// ──────────────────────────────────────────────
+
+const SNIPPET =
+  `${MARKER}` +
+  `if(process.env.CODEX_DEV_RELOAD)try{` +
+  `require("electron").app.isPackaged||require(process.env.CODEX_DEV_RELOAD).startDevReload()}` +
+  `catch(e){console.error("[dev-reload] failed to start",e)}` +
+  "\n";
+
+// ──────────────────────────────────────────────
+//  Patch manifest
+// ──────────────────────────────────────────────
+
+const PATCH = {
+  id: "dev-reload",
+  title: "Dev-mode reload hook",
+  rules: [
+    {
+      id: "dev-reload",
+      type: "marker",
+      target: targets.mainEntry,
+      description: "prepend the CODEX_DEV_RELOAD hook (unpackaged runs only)",
+      marker: MARKER,
+      position: "prepend",
+      snippet: SNIPPET,
+    },
+  ],
+};
+
+module.exports = PATCH;
+
+if (require.main === module) runPatchCli(PATCH);
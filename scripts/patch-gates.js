@@ -0,0 +1,290 @@
+/**
+ * Post-build patch: Statsig feature-gate / dynamic-config overrides
+ *
+ * Many Codex features sit behind Statsig gates, always called as
+ * `<client>?.get("<name>", <default>)`. Changing the default is not enough:
+ * once the Statsig backend answers, its value wins.
+ *
+ * So this patch replaces the whole call for every name listed in
+ * gate-overrides.toml with the forced value (e.g. `?.get("enable_i18n", !1)`
+ * → `/*gate:enable_i18n*\/!0`), in the main bundle, worker.js and every
+ * webview chunk. The `/*gate:<name>*\/` marker tells a later run the call is
+ * already patched. A listed name without any call site is reported as a
+ * warning: its override does nothing.
+ *
+ * Usage:
+ *   node scripts/patch-gates.js               # apply patch
+ *   node scripts/patch-gates.js --check       # read-only status check
+ *   node scripts/patch-gates.js --json        # print the report as JSON
+ *   node scripts/patch-gates.js --list-gates  # list every .get("<name>", default) call site
+ *   node scripts/patch-gates.js --overrides <file>  # another overrides file (.toml / .json)
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  ROOT,
+  BUILD_DIR,
+  ASSETS_DIR,
+  getPropertyName,
+  parseSource,
+  targets,
+  walk,
+  runPatchCli,
+} = require("./lib/patch-engine");
+
+const DEFAULT_OVERRIDES = path.join(ROOT, "gate-overrides.toml");
+
+// ──────────────────────────────────────────────
+//  Overrides file
+// ──────────────────────────────────────────────
+
+/**
+ * Read the overrides file → [{ name, kind: "gate" | "config", value }]
+ *
+ * TOML or JSON, same shape:
+ *   { gates: { <name>: <boolean> }, configs: { <name>: <any> } }
+ */
+function loadOverrides(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`overrides file not found: ${path.relative(ROOT, file)}`);
+  }
+  const text = fs.readFileSync(file, "utf-8");
+  const data = file.endsWith(".json") ? JSON.parse(text) : require("smol-toml").parse(text);
+
+  const overrides = [];
+  for (const [name, value] of Object.entries(data.gates || {})) {
+    if (typeof value !== "boolean") {
+      throw new Error(`gates.${name} must be a boolean`);
+    }
+    overrides.push({ name, kind: "gate", value });
+  }
+  for (const [name, value] of Object.entries(data.configs || {})) {
+    if (value instanceof Date) {
+      throw new Error(`configs.${name}: dates are not supported`);
+    }
+    overrides.push({ name, kind: "config", value });
+  }
+  return overrides;
+}
+
+/** Forced value → expression source (booleans as the minifier writes them, !0 / !1) */
+function toExpression(value) {
+  if (value === true) return "!0";
+  if (value === false) return "!1";
+  const json = JSON.stringify(value);
+  return typeof value === "object" && value !== null ? `(${json})` : json;
+}
+
+const gateMarker = (name) => `/*gate:${name}*/`;
+
+// ──────────────────────────────────────────────
+//  Call sites
+// ──────────────────────────────────────────────
+
+/**
+ * `<obj>.get("<name>", <default>)` / `<obj>?.get(...)`
+ * → { name, callNode, replaceNode } or null
+ */
+function matchGateCall(node) {
+  let callNode = null;
+  let replaceNode = null; // the outermost node to replace
+
+  if (node.type === "ChainExpression" && node.expression?.type === "CallExpression") {
+    callNode = node.expression;
+    replaceNode = node; // the whole ChainExpression
+  } else if (node.type === "CallExpression") {
+    callNode = node;
+    replaceNode = node;
+  }
+  if (!callNode) return null;
+
+  const callee = callNode.callee;
+  if (!callee || callee.type !== "MemberExpression") return null;
+  if (getPropertyName(callee) !== "get") return null;
+
+  const args = callNode.arguments;
+  if (!args || args.length !== 2) return null;
+  if (args[0].type !== "Literal" || typeof args[0].value !== "string") return null;
+
+  return { name: args[0].value, callNode, replaceNode };
+}
+
+/** Candidate files: main bundle, worker.js, webview chunks */
+function candidateFiles() {
+  const files = [];
+  try {
+    files.push(targets.mainBundle());
+  } catch {
+    /* reported as an error by the rules */
+  }
+  const worker = path.join(BUILD_DIR, "worker.js");
+  if (fs.existsSync(worker)) files.push(worker);
+  if (fs.existsSync(ASSETS_DIR)) {
+    for (const f of fs.readdirSync(ASSETS_DIR).sort()) {
+      if (/\.m?js$/.test(f)) files.push(path.join(ASSETS_DIR, f));
+    }
+  }
+  return files;
+}
+
+// ──────────────────────────────────────────────
+//  Patch manifest
+// ──────────────────────────────────────────────
+
+/**
+ * One AST rule per override × file that mentions its name. The text
+ * pre-filter saves parsing hundreds of syntax-highlighting chunks.
+ */
+function buildPatch(overrides) {
+  const files = candidateFiles().map((file) => ({ file, source: fs.readFileSync(file, "utf-8") }));
+  const rules = [];
+
+  for (const { name, kind, value } of overrides) {
+    const marker = gateMarker(name);
+    const replacement = marker + toExpression(value);
+    const hits = files.filter(
+      ({ source }) => source.includes(JSON.stringify(name)) || source.includes(marker)
+    );
+
+    const rule = {
+      type: "ast",
+      description: `${kind} ?.get("${name}", ...) → ${toExpression(value)}`,
+      // One call per place that reads the gate in the same file
+      maxMatches: Infinity,
+      detect: marker,
+      match(node, source) {
+        const call = matchGateCall(node);
+        if (!call || call.name !== name) return null;
+        return {
+          start: call.replaceNode.start,
+          end: call.replaceNode.end,
+          replacement,
+          original: source.slice(call.replaceNode.start, call.replaceNode.end),
+        };
+      },
+    };
+
+    if (hits.length === 0) {
+      // No file mentions the name: report a not-matched on the main bundle that
+      // warns instead of failing the build
+      rules.push({
+        ...rule,
+        id: name,
+        target: targets.mainBundle,
+        warning: unmatchedWarning(name),
+      });
+      continue;
+    }
+    for (const { file } of hits) {
+      rules.push({
+        ...rule,
+        id: hits.length > 1 ? `${name}@${path.basename(file)}` : name,
+        target: () => file,
+      });
+    }
+  }
+
+  return { id: "gates", title: "Statsig gate overrides", rules };
+}
+
+const unmatchedWarning = (name) =>
+  `"${name}" in gate-overrides.toml has no call site in any bundle, so the override does nothing ` +
+  "(the gate was renamed or removed upstream, or the bundle's call was replaced without a marker by the former patch-i18n.js)";
+
+// ──────────────────────────────────────────────
+//  --list-gates
+// ──────────────────────────────────────────────
+
+const GATE_CALL_HINT = /\.get\("[^"\\]+",/;
+
+function listGates(overrides) {
+  const forced = new Map(overrides.map((o) => [o.name, o]));
+  const sites = [];
+
+  for (const file of candidateFiles()) {
+    const source = fs.readFileSync(file, "utf-8");
+    if (!GATE_CALL_HINT.test(source)) continue;
+
+    const seen = new Set();
+    walk(parseSource(source), (node) => {
+      const call = matchGateCall(node);
+      if (!call || seen.has(call.replaceNode.start)) return;
+      seen.add(call.replaceNode.start);
+      const def = call.callNode.arguments[1];
+      sites.push({
+        name: call.name,
+        file: path.relative(ROOT, file),
+        position: call.replaceNode.start,
+        default: source.slice(def.start, def.end),
+        override: forced.has(call.name) ? toExpression(forced.get(call.name).value) : null,
+      });
+    });
+  }
+  return sites;
+}
+
+function printGateList(sites, overrides) {
+  const unmatched = overrides.filter((o) => !sites.some((s) => s.name === o.name));
+  for (const o of unmatched) console.log(`⚠️  ${unmatchedWarning(o.name)}`);
+  if (sites.length === 0) {
+    console.log('⚠️  no .get("<name>", default) calls found');
+    return;
+  }
+  const byName = new Map();
+  for (const s of sites) {
+    if (!byName.has(s.name)) byName.set(s.name, []);
+    byName.get(s.name).push(s);
+  }
+
+  console.log(`\n── gate call sites (${byName.size} names, ${sites.length} calls) ──\n`);
+  for (const name of [...byName.keys()].sort()) {
+    const list = byName.get(name);
+    const tag = list[0].override !== null ? `🔧 forced to ${list[0].override}` : "── not overridden";
+    console.log(`  ${name}  ${tag}`);
+    for (const s of list) {
+      console.log(`      ${s.file}:${s.position}  default: ${s.default}`);
+    }
+  }
+  console.log();
+}
+
+// ──────────────────────────────────────────────
+//  Main
+// ──────────────────────────────────────────────
+
+function getOverridesPath(argv) {
+  const idx = argv.indexOf("--overrides");
+  return idx !== -1 && argv[idx + 1] ? path.resolve(argv[idx + 1]) : DEFAULT_OVERRIDES;
+}
+
+function createPatch(argv = process.argv.slice(2)) {
+  return buildPatch(loadOverrides(getOverridesPath(argv)));
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const overrides = loadOverrides(getOverridesPath(argv));
+
+  if (argv.includes("--list-gates")) {
+    const sites = listGates(overrides);
+    if (argv.includes("--json")) {
+      console.log(JSON.stringify(sites, null, 2));
+    } else {
+      printGateList(sites, overrides);
+    }
+    return;
+  }
+
+  runPatchCli(buildPatch(overrides), argv);
+}
+
+module.exports = { createPatch, loadOverrides, listGates };
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("❌", err.message);
+    process.exit(1);
+  }
+}
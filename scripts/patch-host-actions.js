@@ -0,0 +1,132 @@
+/**
+ * Post-build patch: host actions missing from the Electron message handler
+ *
+ * The main bundle's message handler groups the messages only the VS Code
+ * extension implemented under one `throw new Error(`"${n.type}" is not
+ * implemented in Electron.`)`. This patch:
+ *
+ *   1. emits src/.vite/build/host-actions.js and host-actions-preload.js
+ *      (from scripts/runtime/)
+ *   2. moves open-config-toml, show-settings and open-keyboard-shortcuts out of
+ *      that group into a case that calls handleHostAction(), passing hooks to
+ *      the handler's own `open-file` route and navigate-to-route message
+ *
+ * The other messages in the group (navigate-in-new-editor-tab,
+ * open-vscode-command, open-extension-settings, install-wsl) still throw.
+ *
+ * Usage:
+ *   node scripts/patch-host-actions.js          # apply patch
+ *   node scripts/patch-host-actions.js --check  # read-only status check
+ *   node scripts/patch-host-actions.js --json   # print the report as JSON
+ */
+const fs = require("fs");
+const path = require("path");
+const { getKeyName, targets, runPatchCli } = require("./lib/patch-engine");
+
+// ──────────────────────────────────────────────
+//  Runtime modules
+// ──────────────────────────────────────────────
+
+const MODULE_FILENAME = "host-actions.js";
+const PRELOAD_FILENAME = "host-actions-preload.js";
+const MARKER = "/*host-actions*/";
+
+const HANDLED_TYPES = ["open-config-toml", "show-settings", "open-keyboard-shortcuts"];
+
+/**
+ * The replacement case. `webContents` / `message` are the handler's parameter
+ * names; fetchWrapper.fetchHandler is the same route table the webview's
+ * `open-file` request goes through, so the preferred open-in target applies.
+ */
+function caseSnippet(webContents, message) {
+  return (
+    HANDLED_TYPES.map((type) => `case${JSON.stringify(type)}:`).join("") +
+    `{${MARKER}try{await require("./${MODULE_FILENAME}").handleHostAction(${webContents},${message},{` +
+    `openFile:a=>this.fetchWrapper.fetchHandler.handleVSCodeRequest(${webContents},"open-file",a),` +
+    `navigateToRoute:a=>this.windowManager.sendMessageToWebContents(${webContents},{type:"navigate-to-route",path:a})` +
+    `})}catch(t){console.error("[host-actions] "+${message}.type+" failed",t)}break}`
+  );
+}
+
+// ──────────────────────────────────────────────
+//  Patch manifest
+// ──────────────────────────────────────────────
+
+const caseValue = (c) => (c.test && c.test.type === "Literal" ? c.test.value : null);
+
+/** handleMessage(webContents, message) { switch (message.type) { … } } */
+function handlerSwitch(node) {
+  if (node.type !== "MethodDefinition" || getKeyName(node) !== "handleMessage") return null;
+  const { params, body } = node.value;
+  const first = body.body[0];
+  if (params.length !== 2 || !first || first.type !== "SwitchStatement") return null;
+  if (!first.cases.some((c) => HANDLED_TYPES.includes(caseValue(c)))) return null;
+  return { webContents: params[0].name, message: params[1].name, switchNode: first };
+}
+
+/** The run of fall-through cases ending in the "not implemented" throw */
+function notImplementedGroup(switchNode, source) {
+  const { cases } = switchNode;
+  const end = cases.findIndex(
+    (c) => c.consequent.length === 1 && c.consequent[0].type === "ThrowStatement" &&
+      source.slice(c.start, c.end).includes("is not implemented in Electron.")
+  );
+  if (end === -1) return null;
+  let start = end;
+  while (start > 0 && cases[start - 1].consequent.length === 0) start--;
+  return cases.slice(start, end + 1);
+}
+
+const PATCH = {
+  id: "host-actions",
+  title: "Electron host actions (config.toml, settings, keyboard shortcuts)",
+  rules: [
+    {
+      id: "host-actions-module",
+      type: "file",
+      target: targets.buildAsset(MODULE_FILENAME),
+      description: `emit .vite/build/${MODULE_FILENAME}`,
+      content: () => fs.readFileSync(path.join(__dirname, "runtime", MODULE_FILENAME), "utf-8"),
+    },
+    {
+      id: "host-actions-preload",
+      type: "file",
+      target: targets.buildAsset(PRELOAD_FILENAME),
+      description: `emit .vite/build/${PRELOAD_FILENAME}`,
+      content: () => fs.readFileSync(path.join(__dirname, "runtime", PRELOAD_FILENAME), "utf-8"),
+    },
+    {
+      id: "host-actions-cases",
+      type: "ast",
+      target: targets.mainBundle,
+      description: `${HANDLED_TYPES.join(", ")} → handleHostAction() instead of "not implemented"`,
+      match(node, source) {
+        const handler = handlerSwitch(node);
+        if (!handler) return null;
+        const group = notImplementedGroup(handler.switchNode, source);
+        if (!group || !group.some((c) => HANDLED_TYPES.includes(caseValue(c)))) return null;
+
+        const last = group[group.length - 1];
+        const kept = group.filter((c) => !HANDLED_TYPES.includes(caseValue(c)));
+        const throwCase =
+          kept.map((c) => `case${source.slice(c.test.start, c.test.end)}:`).join("") +
+          source.slice(last.consequent[0].start, last.end);
+        return {
+          start: group[0].start,
+          end: last.end,
+          replacement: caseSnippet(handler.webContents, handler.message) + (kept.length ? throwCase : ""),
+        };
+      },
+      applied(node, source) {
+        const handler = handlerSwitch(node);
+        return !!handler && handler.switchNode.cases.some(
+          (c) => caseValue(c) === HANDLED_TYPES[HANDLED_TYPES.length - 1] && source.slice(c.start, c.end).includes(MARKER)
+        );
+      },
+    },
+  ],
+};
+
+module.exports = PATCH;
+
+if (require.main === module) runPatchCli(PATCH);
@@ -1,289 +1,222 @@
 /**
- * 构建后补丁脚本：解锁 i18n 多语言功能
+ * Post-build patch: translation overrides for the react-intl locale chunks
  *
- * Codex 内置完整的 react-intl 多语言体系（59 语言、1,598 条翻译），
- * 但被 Statsig feature gate `codex-i18n` 控制。
+ *   1. merges i18n/overrides/<locale>.json into the matching locale chunk
+ *      (src/webview/assets/<locale>-<hash>.js); the upstream strings it
+ *      replaced are recorded in an /*i18n-originals:…*\/ comment, so a re-run
+ *      after an override was dropped restores them
+ *   2. makes every locale chunk merge globalThis.codexI18nOverrides[<locale>]
+ *      at load time, which the preload fills from $CODEX_HOME/i18n-overrides.json
+ *      (emits src/.vite/build/i18n-overrides.js, see scripts/runtime/)
+ *   3. an override file for a locale without a chunk creates
+ *      <locale>-i18n.js and adds it to the locale loader in the index bundle
  *
- * 即使修改 .get() 的默认值也不够 —— 当 Statsig 后端可达时，
- * 服务端返回的 enable_i18n=false 会覆盖默认值。
+ * Overrides are checked before anything is written: ICU syntax, and no
+ * argument or rich-text tag the English message (or, for ids the catalog
+ * does not know, the shipped translation) lacks. The language setting itself
+ * is enabled by the enable_i18n gate in gate-overrides.toml.
  *
- * 因此本脚本直接将整个 gate 调用 `?.get("enable_i18n", ...)` 替换为 `!0`，
- * 彻底绕过 Statsig 控制。
- *
- * 用法：
- *   node scripts/patch-i18n.js          # 执行 patch
- *   node scripts/patch-i18n.js --check  # 仅检查匹配情况，不修改
+ * Usage:
+ *   node scripts/patch-i18n.js                         # apply patch
+ *   node scripts/patch-i18n.js --check                 # verify, read-only
+ *   node scripts/patch-i18n.js --json                  # print the report as JSON
+ *   node scripts/patch-i18n.js --i18n-overrides <dir>  # default: i18n/overrides/
  */
 const fs = require("fs");
 const path = require("path");
-const { parse } = require("acorn");
-
-// ──────────────────────────────────────────────
-//  第 1 层：AST 引擎 — 解析 + 递归遍历
-// ──────────────────────────────────────────────
-
-function walk(node, visitor) {
-  if (!node || typeof node !== "object") return;
-  visitor(node);
-  for (const key of Object.keys(node)) {
-    const child = node[key];
-    if (Array.isArray(child)) {
-      for (const item of child) {
-        if (item && typeof item.type === "string") {
-          walk(item, visitor);
-        }
-      }
-    } else if (child && typeof child.type === "string") {
-      walk(child, visitor);
-    }
-  }
-}
+const { targets, runPatchCli } = require("./lib/patch-engine");
+const {
+  OVERRIDES_DIR,
+  parseLocaleChunk,
+  findLocaleChunks,
+  renderLocaleChunk,
+  extractCatalog,
+  loadOverrides,
+  validateOverrides,
+} = require("./lib/i18n");
+const { CHANNEL } = require("./runtime/i18n-overrides");
+
+// Everything up to the chunk's export; the source map comment stays as is
+const CHUNK_PATTERN = /^[\s\S]*?export\{\w+ as default\};/;
+
+const GENERATED_SUFFIX = "-i18n.js";
 
 // ──────────────────────────────────────────────
-//  第 2 层：声明式 Patch 规则
+//  Runtime module and hooks
 // ──────────────────────────────────────────────
 
-/**
- * 规则数组 — 可扩展
- *
- * 策略：替换整个 ?.get("enable_i18n", ...) 调用为 !0
- * 这样无论 Statsig 服务端返回什么值，i18n 都强制启用
- */
-const RULES = [
-  {
-    id: "enable_i18n",
-    description: "gate 调用 ?.get(\"enable_i18n\", ...) → !0",
-    /**
-     * 匹配条件：
-     *   CallExpression（可能被 ChainExpression 包裹）
-     *   - callee 是 MemberExpression，property.name === "get"
-     *   - arguments[0] 是 Literal "enable_i18n"
-     *   - arguments[1] 存在（任意值）
-     *
-     * 替换范围：整个 CallExpression（含 optional chain 包裹）
-     *   ?.get("enable_i18n", !1)  →  !0
-     *   ?.get("enable_i18n", !0)  →  !0
-     */
-    match(node, source) {
-      // 匹配 ChainExpression 包裹的 CallExpression
-      // 或直接的 CallExpression
-      let callNode = null;
-      let replaceNode = null; // 需要替换的最外层节点
+const MODULE_FILENAME = "i18n-overrides.js";
+const MODULE_SOURCE = path.join(__dirname, "runtime", MODULE_FILENAME);
 
-      if (node.type === "ChainExpression" && node.expression?.type === "CallExpression") {
-        callNode = node.expression;
-        replaceNode = node; // 替换整个 ChainExpression
-      } else if (node.type === "CallExpression") {
-        callNode = node;
-        replaceNode = node;
-      }
+const MARKER = "/* i18n-overrides-patch */";
 
-      if (!callNode) return null;
+// A broken overrides file or module must never keep the app from starting
+const MAIN_SNIPPET =
+  `${MARKER}` +
+  `try{require("./${MODULE_FILENAME}").registerI18nOverrides()}` +
+  `catch(e){console.error("[i18n-overrides] failed to register",e)}` +
+  "\n";
 
-      const callee = callNode.callee;
-      if (!callee || callee.type !== "MemberExpression") return null;
-      if (getPropertyName(callee) !== "get") return null;
-
-      const args = callNode.arguments;
-      if (!args || args.length < 2) return null;
-      if (args[0].type !== "Literal" || args[0].value !== "enable_i18n") return null;
-
-      const original = source.slice(replaceNode.start, replaceNode.end);
-
-      // 已经被 patch 过（整个表达式就是 !0）→ 跳过
-      if (original === "!0") return null;
-
-      return {
-        start: replaceNode.start,
-        end: replaceNode.end,
-        replacement: "!0",
-        original,
-      };
-    },
-  },
-];
-
-function getPropertyName(memberExpr) {
-  if (!memberExpr || !memberExpr.property) return null;
-  if (!memberExpr.computed && memberExpr.property.type === "Identifier") {
-    return memberExpr.property.name;
-  }
-  if (memberExpr.computed && memberExpr.property.type === "Literal") {
-    return memberExpr.property.value;
-  }
-  return null;
-}
+const PRELOAD_SNIPPET =
+  `${MARKER}` +
+  `try{const{contextBridge:c,ipcRenderer:r}=require("electron");` +
+  `c.exposeInMainWorld("codexI18nOverrides",r.sendSync(${JSON.stringify(CHANNEL)}))}` +
+  `catch(e){console.error("[i18n-overrides] failed to load overrides",e)}` +
+  "\n";
 
 // ──────────────────────────────────────────────
-//  第 3 层：文件定位 + 外科替换
+//  Locale chunks
 // ──────────────────────────────────────────────
 
-function locateBundle() {
-  const assetsDir = path.join(__dirname, "..", "src", "webview", "assets");
-  if (!fs.existsSync(assetsDir)) {
-    console.error("❌ 资源目录不存在:", assetsDir);
-    process.exit(1);
-  }
-
-  const files = fs.readdirSync(assetsDir).filter((f) => /^index-.*\.js$/.test(f));
-
-  if (files.length === 0) {
-    console.error("❌ 未找到 index-*.js bundle 文件");
-    process.exit(1);
-  }
-  if (files.length > 1) {
-    console.error("❌ 发现多个 index-*.js 文件:", files.join(", "));
-    process.exit(1);
-  }
-
-  return path.join(assetsDir, files[0]);
-}
-
-/**
- * 收集所有规则命中的 patch 点
- */
-function collectPatches(ast, source) {
-  const patches = [];
-  const details = [];
-  const seen = new Set(); // 防止 ChainExpression 和内部 CallExpression 重复命中
-
-  walk(ast, (node) => {
-    for (const rule of RULES) {
-      const result = rule.match(node, source);
-      if (result && !seen.has(result.start)) {
-        seen.add(result.start);
-        patches.push({ ...result, ruleId: rule.id });
-        details.push({
-          ruleId: rule.id,
-          position: result.start,
-          change: `${result.original} → ${result.replacement}`,
-        });
-      }
-    }
-  });
-
-  return { patches, details };
-}
-
 /**
- * 扫描所有匹配情况（用于 --check 模式）
+ * Rebuild a locale chunk: upstream strings (restored from the originals
+ * record), then the build-time overrides, then the runtime hook.
  */
-function scanMatches(ast, source) {
-  const CONTEXT_CHARS = 40;
-  const matches = [];
-  const seen = new Set();
-
-  walk(ast, (node) => {
-    for (const rule of RULES) {
-      const result = rule.match(node, source);
-      if (result && !seen.has(result.start)) {
-        seen.add(result.start);
-        const ctxStart = Math.max(0, result.start - CONTEXT_CHARS);
-        const ctxEnd = Math.min(source.length, result.end + CONTEXT_CHARS);
-        matches.push({
-          ruleId: rule.id,
-          position: result.start,
-          original: result.original,
-          context: source.slice(ctxStart, ctxEnd),
-          wouldPatch: true,
-        });
-      }
-    }
+function mergeLocaleChunk(locale, code, overrides, references) {
+  const chunk = parseLocaleChunk(code);
+  if (!chunk) throw new Error(`${locale}: not a locale chunk`);
+
+  const upstream = { ...chunk.messages };
+  for (const [id, original] of Object.entries(chunk.originals)) {
+    if (original === null) delete upstream[id];
+    else upstream[id] = original;
+  }
 
-    // 也检测已 patch 的位置（原表达式已被替换为 !0）
-    // 这些不会被 rule.match 命中（因为 original === "!0" 会跳过）
-    // 无需额外处理，--check 只展示待 patch 的
-  });
+  const errors = validateOverrides(overrides, { ...upstream, ...references() });
+  if (errors.length) throw new Error(`i18n overrides for ${locale}: ${errors.join("; ")}`);
 
-  return { matches };
+  const messages = { ...upstream };
+  const originals = {};
+  for (const [id, message] of Object.entries(overrides)) {
+    if (upstream[id] === message) continue;
+    originals[id] = id in upstream ? upstream[id] : null;
+    messages[id] = message;
+  }
+  return renderLocaleChunk({ varName: chunk.varName, messages, originals, runtimeLocale: locale });
 }
 
 /**
- * 统计所有 enable_i18n 相关调用（含已 patch 和未 patch）
+ * The loader entry for `refFile` in the index bundle, cloned for `newFile`:
+ * the object property whose value imports "./<refFile>".
  */
-function countAllOccurrences(source) {
-  let total = 0;
-  let idx = -1;
-  while ((idx = source.indexOf('"enable_i18n"', idx + 1)) !== -1) {
-    total++;
-  }
-  return total;
+function loaderEntryRule(locale, newFile, ref) {
+  const refFile = path.basename(ref.file);
+  const importsFile = (node, source, file) =>
+    node.type === "Property" && source.slice(node.value.start, node.value.end).includes(`./${file}`);
+  return {
+    id: `locale-loader-${locale}`,
+    type: "ast",
+    target: targets.webviewIndexBundle,
+    description: `register ${newFile} in the locale loader (cloned from ${refFile})`,
+    match(node, source) {
+      if (!importsFile(node, source, refFile)) return null;
+      const key = source.slice(node.key.start, node.key.end);
+      const value = source.slice(node.value.start, node.value.end);
+      if (!key.includes(ref.locale)) return null;
+      const entry = `${key.split(ref.locale).join(locale)}:${value.split(refFile).join(newFile)}`;
+      return { start: node.end, end: node.end, original: "", replacement: `,${entry}` };
+    },
+    applied: (node, source) => importsFile(node, source, newFile),
+  };
 }
 
 // ──────────────────────────────────────────────
-//  主流程
+//  Patch manifest
 // ──────────────────────────────────────────────
 
-function main() {
-  const isCheck = process.argv.includes("--check");
-  const bundlePath = locateBundle();
-  const relPath = path.relative(path.join(__dirname, ".."), bundlePath);
-
-  console.log(`📄 目标文件: ${relPath}`);
+function buildPatch(overrides, found = findLocaleChunks()) {
+  // Chunks this patch created are re-emitted from their override file instead
+  const chunks = found.filter((c) => !c.file.endsWith(GENERATED_SUFFIX));
 
-  const source = fs.readFileSync(bundlePath, "utf-8");
-  console.log(`📏 文件大小: ${(source.length / 1024 / 1024).toFixed(1)} MB`);
-
-  const t0 = Date.now();
-  const ast = parse(source, {
-    ecmaVersion: "latest",
-    sourceType: "module",
-  });
-  const parseTime = Date.now() - t0;
-  console.log(`🔍 AST 解析: ${parseTime}ms`);
-
-  // ── --check 模式 ──
-  if (isCheck) {
-    console.log("\n── 匹配检查 (只读) ──\n");
-    const { matches } = scanMatches(ast, source);
-    const totalRefs = countAllOccurrences(source);
-
-    if (matches.length === 0) {
-      console.log(`📊 共 ${totalRefs} 处 "enable_i18n" 引用, 0 处待 patch`);
-      console.log("✅ 所有 gate 调用已被替换为 !0");
-    } else {
-      for (let i = 0; i < matches.length; i++) {
-        const m = matches[i];
-        console.log(`  #${i + 1}  [${m.ruleId}]  🔧 待 patch`);
-        console.log(`      位置: ${m.position}`);
-        console.log(`      原始: ${m.original}`);
-        console.log(`      上下文: ...${m.context}...`);
-        console.log();
-      }
-      console.log(
-        `📊 共 ${totalRefs} 处 "enable_i18n" 引用, ${matches.length} 处待 patch`
+  // The English catalog is only needed to validate overrides; extract it once, on demand
+  let catalog = null;
+  const references = () => {
+    if (!catalog) {
+      catalog = Object.fromEntries(
+        Object.entries(extractCatalog().messages).map(([id, m]) => [id, m.defaultMessage])
       );
     }
-    return;
+    return catalog;
+  };
+
+  const rules = [
+    {
+      id: "i18n-overrides-module",
+      type: "file",
+      target: targets.buildAsset(MODULE_FILENAME),
+      description: `emit .vite/build/${MODULE_FILENAME}`,
+      content: () => fs.readFileSync(MODULE_SOURCE, "utf-8"),
+    },
+    {
+      id: "i18n-overrides-main",
+      type: "marker",
+      target: targets.mainEntry,
+      description: `prepend require("./${MODULE_FILENAME}").registerI18nOverrides()`,
+      marker: MARKER,
+      position: "prepend",
+      snippet: MAIN_SNIPPET,
+    },
+    {
+      id: "i18n-overrides-preload",
+      type: "marker",
+      target: targets.buildFile("preload.js"),
+      description: "append exposeInMainWorld(\"codexI18nOverrides\", …)",
+      marker: MARKER,
+      position: "append",
+      snippet: PRELOAD_SNIPPET,
+    },
+  ];
+
+  for (const { locale, file } of chunks) {
+    const own = overrides[locale] || {};
+    const count = Object.keys(own).length;
+    rules.push({
+      id: `locale-${locale}`,
+      type: "replace",
+      target: () => file,
+      description: `${count ? `merge ${count} override(s), ` : ""}runtime override hook`,
+      pattern: CHUNK_PATTERN,
+      replace: (code) => mergeLocaleChunk(locale, code, own, references),
+    });
   }
 
-  // ── patch 模式 ──
-  const { patches, details } = collectPatches(ast, source);
-
-  if (patches.length === 0) {
-    const totalRefs = countAllOccurrences(source);
-    if (totalRefs > 0) {
-      console.log(`ℹ️  i18n 已全部启用 (${totalRefs} 处引用, 0 处待 patch), 无需修改`);
-    } else {
-      console.warn("⚠️  未找到 enable_i18n feature flag");
-    }
-    return;
+  const shipped = new Set(chunks.map((c) => c.locale));
+  for (const [locale, messages] of Object.entries(overrides)) {
+    if (shipped.has(locale)) continue;
+    const newFile = `${locale}${GENERATED_SUFFIX}`;
+    rules.push({
+      id: `locale-${locale}`,
+      type: "file",
+      target: targets.webviewAsset(newFile),
+      description: `create ${newFile} (${Object.keys(messages).length} message(s), runtime override hook)`,
+      content: () => {
+        const errors = validateOverrides(messages, references());
+        if (errors.length) throw new Error(`i18n overrides for ${locale}: ${errors.join("; ")}`);
+        return renderLocaleChunk({ messages, runtimeLocale: locale }) + "\n";
+      },
+    });
+    if (chunks.length) rules.push(loaderEntryRule(locale, newFile, chunks[0]));
   }
 
-  // 按 start 降序排列，避免偏移漂移
-  patches.sort((a, b) => b.start - a.start);
+  return { id: "i18n", title: "Translation overrides", rules };
+}
 
-  let code = source;
-  for (const p of patches) {
-    code = code.slice(0, p.start) + p.replacement + code.slice(p.end);
-  }
+function getOverridesDir(argv) {
+  const idx = argv.indexOf("--i18n-overrides");
+  return idx !== -1 && argv[idx + 1] ? path.resolve(argv[idx + 1]) : OVERRIDES_DIR;
+}
 
-  fs.writeFileSync(bundlePath, code);
+function createPatch(argv = process.argv.slice(2)) {
+  return buildPatch(loadOverrides(getOverridesDir(argv)));
+}
 
-  for (const d of details) {
-    console.log(`  ✏️  位置 ${d.position}: ${d.change}`);
+module.exports = { createPatch, mergeLocaleChunk };
+
+if (require.main === module) {
+  try {
+    runPatchCli(createPatch());
+  } catch (err) {
+    console.error("❌", err.message);
+    process.exit(1);
   }
-  console.log(`\n✅ i18n 已解锁: ${patches.length} 处 gate 调用 → !0`);
 }
-
-main();
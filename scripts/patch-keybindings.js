@@ -0,0 +1,123 @@
+/**
+ * Post-build patch: user keybindings and global hotkeys
+ *
+ * The application menu takes its accelerators from one table in the main
+ * bundle ({ openCommandMenu: "CmdOrCtrl+Shift+P", settings: "CmdOrCtrl+,", … })
+ * and is rebuilt by a single builder function on every refresh. This patch:
+ *
+ *   1. emits src/.vite/build/keybindings.js and keybindings-preload.js
+ *      (from scripts/runtime/)
+ *   2. wraps the accelerator table in menuAccelerators(), so the menu reads
+ *      $CODEX_HOME/keybindings.json (the plain table is kept if that throws)
+ *   3. calls afterMenuBuild(builder, options) at the end of the builder, which
+ *      adds the remaining bindings and registers the global hotkeys
+ *
+ * Usage:
+ *   node scripts/patch-keybindings.js          # apply patch
+ *   node scripts/patch-keybindings.js --check  # read-only status check
+ *   node scripts/patch-keybindings.js --json   # print the report as JSON
+ */
+const fs = require("fs");
+const path = require("path");
+const { getKeyName, targets, runPatchCli } = require("./lib/patch-engine");
+
+// ──────────────────────────────────────────────
+//  Runtime modules
+// ──────────────────────────────────────────────
+
+const MODULE_FILENAME = "keybindings.js";
+const PRELOAD_FILENAME = "keybindings-preload.js";
+const MARKER = "/*keybindings*/";
+
+const TABLE_KEYS = ["openCommandMenu", "settings", "newThread"];
+const BUILDER_OPTIONS = ["getElectronMessageHandlerForWindow", "navigateToRoute", "hostsMenuState"];
+
+// ──────────────────────────────────────────────
+//  Patch manifest
+// ──────────────────────────────────────────────
+
+/** { openCommandMenu: "CmdOrCtrl+Shift+P", settings: …, newThread: … } */
+function isAcceleratorTable(node) {
+  if (node.type !== "ObjectExpression") return false;
+  const names = node.properties.map((p) => p.type === "Property" && p.value.type === "Literal" && getKeyName(p));
+  return TABLE_KEYS.every((k) => names.includes(k));
+}
+
+/** function builder({ getElectronMessageHandlerForWindow, navigateToRoute, hostsMenuState, … }) { … } */
+function isMenuBuilder(node) {
+  if (node.type !== "FunctionDeclaration" || !node.id || node.params.length !== 1) return false;
+  const param = node.params[0];
+  if (param.type !== "ObjectPattern") return false;
+  const names = param.properties.map((p) => p.type === "Property" && getKeyName(p));
+  return BUILDER_OPTIONS.every((k) => names.includes(k));
+}
+
+const PATCH = {
+  id: "keybindings",
+  title: "User keybindings and global hotkeys",
+  rules: [
+    {
+      id: "keybindings-module",
+      type: "file",
+      target: targets.buildAsset(MODULE_FILENAME),
+      description: `emit .vite/build/${MODULE_FILENAME}`,
+      content: () => fs.readFileSync(path.join(__dirname, "runtime", MODULE_FILENAME), "utf-8"),
+    },
+    {
+      id: "keybindings-preload",
+      type: "file",
+      target: targets.buildAsset(PRELOAD_FILENAME),
+      description: `emit .vite/build/${PRELOAD_FILENAME}`,
+      content: () => fs.readFileSync(path.join(__dirname, "runtime", PRELOAD_FILENAME), "utf-8"),
+    },
+    {
+      id: "keybindings-accelerators",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "menu accelerator table → menuAccelerators()",
+      match(node, source) {
+        if (node.type !== "VariableDeclarator" || !node.init || !isAcceleratorTable(node.init)) return null;
+        // The wrapper keeps the table as `const d={…}`, which would match again
+        if (source.slice(Math.max(0, node.start - MARKER.length - 8), node.start).includes(MARKER)) return null;
+        const table = source.slice(node.init.start, node.init.end);
+        return {
+          start: node.init.start,
+          end: node.init.end,
+          replacement:
+            `(()=>{${MARKER}const d=${table};try{return require("./${MODULE_FILENAME}").menuAccelerators(d)}` +
+            `catch(e){return console.error("[keybindings] failed to load",e),d}})()`,
+        };
+      },
+      applied(node, source) {
+        return node.type === "VariableDeclarator" && !!node.init &&
+          node.init.type === "CallExpression" && source.slice(node.init.start, node.init.end).includes(MARKER) &&
+          source.slice(node.init.start, node.init.end).includes(".menuAccelerators(");
+      },
+    },
+    {
+      id: "keybindings-menu-hook",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "afterMenuBuild() at the end of the application menu builder",
+      match(node, source) {
+        if (!isMenuBuilder(node)) return null;
+        if (source.slice(node.body.start, node.body.end).includes(MARKER)) return null;
+        const end = node.body.end - 1;
+        return {
+          start: end,
+          end,
+          replacement:
+            `;${MARKER}try{require("./${MODULE_FILENAME}").afterMenuBuild(${node.id.name},arguments[0])}` +
+            `catch(e){console.error("[keybindings] failed to apply",e)}`,
+        };
+      },
+      applied(node, source) {
+        return isMenuBuilder(node) && source.slice(node.body.start, node.body.end).includes(MARKER);
+      },
+    },
+  ],
+};
+
+module.exports = PATCH;
+
+if (require.main === module) runPatchCli(PATCH);
@@ -0,0 +1,272 @@
+/**
+ * Post-build patch: desktop notification rules, sounds and buttons
+ *
+ * The desktop notification manager shows what the windows send with
+ * desktop-notification-show. This patch:
+ *
+ *   1. emits src/.vite/build/notifications.js and notification-rules.js (from
+ *      scripts/runtime/)
+ *   2. hands the IPC client class to notifications.js, which answers approvals
+ *      from a notification with the thread-follower decision requests
+ *   3. passes every app-server message to notifications.js (pending approvals,
+ *      thread folders, turn results, rate limits)
+ *   4. tells notifications.js about automation runs: recorded, given their
+ *      thread, archived (the automation_runs table helpers)
+ *   5. lets notifications.js apply the rules and add buttons to each
+ *      notification before it is shown, and handle Approve / Decline
+ *      (showNotification; a hidden one returns early)
+ *   6. passes the sound decide() chose for each notification on the options
+ *      showNotification gives the factory (notificationSound)
+ *   7. wraps the manager's notification factory (sounds; freedesktop
+ *      notifications with buttons on Linux)
+ *
+ * The hooks in 2 and 3 go after the ones other patches put at the same places
+ * (tray, scripting-api), so each patch still finds its own.
+ *
+ * Usage:
+ *   node scripts/patch-notifications.js          # apply patch
+ *   node scripts/patch-notifications.js --check  # read-only status check
+ *   node scripts/patch-notifications.js --json   # print the report as JSON
+ */
+const fs = require("fs");
+const path = require("path");
+const { walk, getKeyName, getPropertyName, targets, runPatchCli } = require("./lib/patch-engine");
+
+// ──────────────────────────────────────────────
+//  Runtime module
+// ──────────────────────────────────────────────
+
+const MODULE_FILENAME = "notifications.js";
+const RULES_FILENAME = "notification-rules.js";
+const MARKER = "/*notifications*/";
+
+// notifications.js never throws from these; the catch reports a missing or broken module
+const failed = `catch(t){console.error("[notifications] hook failed",t)}`;
+const notifications = (call) => `${MARKER}try{require("./${MODULE_FILENAME}").${call}}${failed}`;
+const notificationsInto = (target, call) => `${MARKER}try{${target}=require("./${MODULE_FILENAME}").${call}}${failed}`;
+const decorateOrReturn = (notification, onAction) =>
+  `${MARKER}try{const d=require("./${MODULE_FILENAME}").decorate(${notification},${onAction});if(!d)return;[${notification},${onAction}]=d}${failed}`;
+
+// ──────────────────────────────────────────────
+//  Patch manifest
+// ──────────────────────────────────────────────
+
+const memberNames = (classNode) => classNode.body.body.map((m) => getKeyName(m));
+const HOOK = /^\/\*[\w-]+\*\/$/;
+
+/** End of the marker-prefixed try { … } hooks in `statements`, starting at `at` */
+function afterHooks(statements, at, source) {
+  for (const statement of statements) {
+    if (statement.type !== "TryStatement" || !HOOK.test(source.slice(at, statement.start).trim())) break;
+    at = statement.end;
+  }
+  return at;
+}
+
+const afterLeadingHooks = (block, source) => afterHooks(block.body, block.start + 1, source);
+const hasLeadingHook = (block, source) => source.slice(block.start, afterLeadingHooks(block, source)).includes(MARKER);
+
+/** class IpcClient { addRequestHandler() {} addAnyBroadcastHandler() {} sendRequest() {} … } */
+function isIpcClientClass(node) {
+  if (node.type !== "ClassDeclaration" || !node.id) return false;
+  const names = memberNames(node);
+  return ["addRequestHandler", "addAnyBroadcastHandler", "sendRequest", "sendBroadcast"].every((k) => names.includes(k));
+}
+
+/** The IpcClient class in a statement list and the hooks after it */
+function ipcClientHooks(node, source) {
+  if (!Array.isArray(node.body)) return null;
+  const index = node.body.findIndex(isIpcClientClass);
+  if (index < 0) return null;
+  const cls = node.body[index];
+  const end = afterHooks(node.body.slice(index + 1), cls.end, source);
+  return { name: cls.id.name, end, patched: source.slice(cls.end, end).includes(MARKER) };
+}
+
+/** class NotificationManager { createNotification; showNotification(notification, webContents, onAction) {} dismissByConversationId() {} } */
+function notificationManager(node) {
+  if (node.type !== "ClassDeclaration" && node.type !== "ClassExpression") return null;
+  const names = memberNames(node);
+  if (!["createNotification", "showNotification", "dismissByConversationId"].every((k) => names.includes(k))) return null;
+  const method = (name) => node.body.body.find((m) => m.type === "MethodDefinition" && getKeyName(m) === name)?.value;
+  const ctor = node.body.body.find((m) => m.type === "MethodDefinition" && m.kind === "constructor")?.value;
+  const show = method("showNotification");
+  if (!ctor || ctor.params[0]?.type !== "Identifier" || show?.params.length !== 3) return null;
+  if (!show.params.every((p) => p.type === "Identifier")) return null;
+  return { ctor, show };
+}
+
+/** this.createNotification({ title, body, … }) in showNotification, and whether it passes notificationSound */
+function createNotificationCall(show) {
+  let options = null;
+  walk(show.body, (n) => {
+    if (options || n.type !== "CallExpression" || n.callee.type !== "MemberExpression") return;
+    if (n.callee.object.type !== "ThisExpression" || getPropertyName(n.callee) !== "createNotification") return;
+    if (n.arguments[0]?.type === "ObjectExpression") options = n.arguments[0];
+  });
+  if (!options) return null;
+  return { options, patched: options.properties.some((p) => getKeyName(p) === "notificationSound") };
+}
+
+/** function helper(a, b, …) { …db.prepare("<sql>")… } of the automation_runs table */
+function automationRunHelper(node, source, arity, sql) {
+  if (node.type !== "FunctionDeclaration" || node.params.length !== arity || !node.params.every((p) => p.type === "Identifier")) {
+    return null;
+  }
+  return source.slice(node.body.start, node.body.end).includes(sql) ? node : null;
+}
+
+/** helper(…params) { … } → insert notifications.js's call at the start of the body */
+function automationRunRule(id, description, arity, sql, method) {
+  return {
+    id,
+    type: "ast",
+    target: targets.mainBundle,
+    description,
+    match(node, source) {
+      const fn = automationRunHelper(node, source, arity, sql);
+      if (!fn || hasLeadingHook(fn.body, source)) return null;
+      const at = afterLeadingHooks(fn.body, source);
+      return { start: at, end: at, replacement: notifications(`${method}(${fn.params.map((p) => p.name).join(",")})`) };
+    },
+    applied(node, source) {
+      const fn = automationRunHelper(node, source, arity, sql);
+      return !!fn && hasLeadingHook(fn.body, source);
+    },
+  };
+}
+
+/** routeIncomingMessage(message) { … } → insert after the leading hooks of the body */
+function routeIncomingMessage(node) {
+  return node.type === "MethodDefinition" && getKeyName(node) === "routeIncomingMessage" && node.value.params.length === 1 &&
+    node.value.params[0].type === "Identifier" ? node.value : null;
+}
+
+const PATCH = {
+  id: "notifications",
+  title: "Desktop notification rules and actions",
+  rules: [
+    {
+      id: "notifications-module",
+      type: "file",
+      target: targets.buildAsset(MODULE_FILENAME),
+      description: `emit .vite/build/${MODULE_FILENAME}`,
+      content: () => fs.readFileSync(path.join(__dirname, "runtime", MODULE_FILENAME), "utf-8"),
+    },
+    {
+      id: "notifications-rules-module",
+      type: "file",
+      target: targets.buildAsset(RULES_FILENAME),
+      description: `emit .vite/build/${RULES_FILENAME}`,
+      content: () => fs.readFileSync(path.join(__dirname, "runtime", RULES_FILENAME), "utf-8"),
+    },
+    {
+      id: "notifications-ipc-client",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "IPC client class → useIpcClient()",
+      match(node, source) {
+        const hooks = ipcClientHooks(node, source);
+        if (!hooks || hooks.patched) return null;
+        return { start: hooks.end, end: hooks.end, replacement: notifications(`useIpcClient(${hooks.name})`) };
+      },
+      applied(node, source) {
+        return !!ipcClientHooks(node, source)?.patched;
+      },
+    },
+    {
+      id: "notifications-server-messages",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "app-server messages → onServerMessage()",
+      match(node, source) {
+        const fn = routeIncomingMessage(node);
+        if (!fn || hasLeadingHook(fn.body, source)) return null;
+        const at = afterLeadingHooks(fn.body, source);
+        return { start: at, end: at, replacement: notifications(`onServerMessage(this,${fn.params[0].name})`) };
+      },
+      applied(node, source) {
+        const fn = routeIncomingMessage(node);
+        return !!fn && hasLeadingHook(fn.body, source);
+      },
+    },
+    automationRunRule(
+      "notifications-automation-run",
+      "automation run recorded → onAutomationRun()",
+      4,
+      "INSERT OR IGNORE INTO automation_runs",
+      "onAutomationRun"
+    ),
+    automationRunRule(
+      "notifications-automation-run-thread",
+      "pending run gets its thread → onAutomationRunThread()",
+      2,
+      "UPDATE automation_runs SET thread_id = ?",
+      "onAutomationRunThread"
+    ),
+    automationRunRule(
+      "notifications-automation-run-archived",
+      "run archived → onAutomationRunArchived()",
+      2,
+      "archived_reason = COALESCE(archived_reason, ?)",
+      "onAutomationRunArchived"
+    ),
+    {
+      id: "notifications-show",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "showNotification() → decorate() applies the rules and adds the buttons",
+      match(node, source) {
+        const manager = notificationManager(node);
+        if (!manager || hasLeadingHook(manager.show.body, source)) return null;
+        const [notification, , onAction] = manager.show.params.map((p) => p.name);
+        const at = afterLeadingHooks(manager.show.body, source);
+        return { start: at, end: at, replacement: decorateOrReturn(notification, onAction) };
+      },
+      applied(node, source) {
+        const manager = notificationManager(node);
+        return !!manager && hasLeadingHook(manager.show.body, source);
+      },
+    },
+    {
+      id: "notifications-sound",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "showNotification() → the factory options carry the decided notificationSound",
+      match(node) {
+        const manager = notificationManager(node);
+        const call = manager && createNotificationCall(manager.show);
+        if (!call || call.patched) return null;
+        const at = call.options.start + 1;
+        return { start: at, end: at, replacement: `notificationSound:${manager.show.params[0].name}.notificationSound,` };
+      },
+      applied(node) {
+        const manager = notificationManager(node);
+        return !!manager && !!createNotificationCall(manager.show)?.patched;
+      },
+    },
+    {
+      id: "notifications-factory",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "notification manager constructor → useFactory()",
+      match(node, source) {
+        const manager = notificationManager(node);
+        const body = manager?.ctor.body;
+        if (!body || source.slice(body.start, body.end).includes(MARKER)) return null;
+        const options = manager.ctor.params[0].name;
+        const end = body.end - 1;
+        const call = `useFactory(this.createNotification,${options}.platform)`;
+        return { start: end, end, replacement: ";" + notificationsInto("this.createNotification", call) };
+      },
+      applied(node, source) {
+        const body = notificationManager(node)?.ctor.body;
+        return !!body && source.slice(body.start, body.end).includes(MARKER);
+      },
+    },
+  ],
+};
+
+module.exports = PATCH;
+
+if (require.main === module) runPatchCli(PATCH);
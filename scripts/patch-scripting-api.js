@@ -0,0 +1,214 @@
+/**
+ * Post-build patch: local scripting API on the desktop IPC socket
+ *
+ * IpcRouterManager runs a router on a Unix socket / named pipe that only the
+ * app's windows and followers speak. This patch:
+ *
+ *   1. emits src/.vite/build/scripting-api.js (from scripts/runtime/)
+ *   2. hands the IPC client class to scripting-api.js
+ *   3. registers every host context (app-server connection, fetch handlers);
+ *      the first one starts the API client on the router
+ *   4. passes every app-server message and every answer the windows send back
+ *      to scripting-api.js (turn events and pending approvals)
+ *   5. tells scripting-api.js when a window has loaded (markWebContentsReady)
+ *   6. hands the log export to scripting-api.js; an options.filePath skips
+ *      its save dialog
+ *
+ * The hooks in 4 and 5 go after the ones other patches put at the start of the same
+ * methods (tray), so each patch still finds its own.
+ *
+ * Usage:
+ *   node scripts/patch-scripting-api.js          # apply patch
+ *   node scripts/patch-scripting-api.js --check  # read-only status check
+ *   node scripts/patch-scripting-api.js --json   # print the report as JSON
+ */
+const fs = require("fs");
+const path = require("path");
+const { getKeyName, targets, runPatchCli } = require("./lib/patch-engine");
+
+// ──────────────────────────────────────────────
+//  Runtime module
+// ──────────────────────────────────────────────
+
+const MODULE_FILENAME = "scripting-api.js";
+const MARKER = "/*scripting-api*/";
+
+// scripting-api.js never throws from these; the catch reports a missing or broken module
+const api = (call) => `${MARKER}try{require("./${MODULE_FILENAME}").${call}}catch(t){console.error("[scripting-api] hook failed",t)}`;
+
+// ──────────────────────────────────────────────
+//  Patch manifest
+// ──────────────────────────────────────────────
+
+const memberNames = (classNode) => classNode.body.body.map((m) => getKeyName(m));
+const propertyNames = (object) => object.properties.map((p) => p.type === "Property" && getKeyName(p));
+
+/** End of the marker-prefixed try { … } hooks at the start of a block */
+function afterLeadingHooks(block, source) {
+  let at = block.start + 1;
+  for (const statement of block.body) {
+    if (statement.type !== "TryStatement" || !/^\/\*[\w-]+\*\/$/.test(source.slice(at, statement.start).trim())) break;
+    at = statement.end;
+  }
+  return at;
+}
+
+const hasLeadingHook = (block, source) => source.slice(block.start, afterLeadingHooks(block, source)).includes(MARKER);
+
+/** class IpcClient { addRequestHandler() {} addAnyBroadcastHandler() {} sendRequest() {} … } */
+function isIpcClientClass(node) {
+  if (node.type !== "ClassDeclaration" || !node.id) return false;
+  const names = memberNames(node);
+  return ["addRequestHandler", "addAnyBroadcastHandler", "sendRequest", "sendBroadcast"].every((k) => names.includes(k));
+}
+
+/** class HostContext { hostId; appServerConnection; fetchHandler; messageHandler; constructor(options) { … } } */
+function hostContextConstructor(node) {
+  if (node.type !== "ClassDeclaration" && node.type !== "ClassExpression") return null;
+  const names = memberNames(node);
+  if (!["hostId", "appServerConnection", "fetchHandler", "messageHandler"].every((k) => names.includes(k))) return null;
+  const ctor = node.body.body.find((m) => m.type === "MethodDefinition" && m.kind === "constructor");
+  return ctor ? ctor.value.body : null;
+}
+
+/** methodName(param) { … } → insert after the leading hooks of the body */
+function methodHookRule(id, methodName, description, call) {
+  const method = (node) =>
+    node.type === "MethodDefinition" && getKeyName(node) === methodName && node.value.params.length === 1 &&
+    node.value.params[0].type === "Identifier" ? node.value : null;
+  return {
+    id,
+    type: "ast",
+    target: targets.mainBundle,
+    description,
+    match(node, source) {
+      const fn = method(node);
+      if (!fn || hasLeadingHook(fn.body, source)) return null;
+      const at = afterLeadingHooks(fn.body, source);
+      return { start: at, end: at, replacement: api(call(fn.params[0].name)) };
+    },
+    applied(node, source) {
+      const fn = method(node);
+      return !!fn && hasLeadingHook(fn.body, source);
+    },
+  };
+}
+
+/** await saveDialog({ parentWindow, suggestedName }), or filePath ?? that once patched */
+function saveDialogCall(init) {
+  const call = init?.type === "LogicalExpression" && init.operator === "??" ? init.right : init;
+  if (call?.type !== "AwaitExpression" || call.argument.type !== "CallExpression") return false;
+  const [options] = call.argument.arguments;
+  return options?.type === "ObjectExpression" && ["parentWindow", "suggestedName"].every((k) => propertyNames(options).includes(k));
+}
+
+const filePathPatched = (dialog, source) => source.startsWith(MARKER, dialog.start - MARKER.length);
+
+/** async function exportLogs(options) { …, files = await collect({ rootDir, now, scope, appSessionId }), file = await saveDialog({…}); … } */
+function logExport(node) {
+  if (node.type !== "FunctionDeclaration" || !node.async || !node.id || node.params.length !== 1 || node.params[0].type !== "Identifier") {
+    return null;
+  }
+  const declarators = node.body.body.filter((s) => s.type === "VariableDeclaration").flatMap((s) => s.declarations);
+  const collects = declarators.some((d) => {
+    const arg = d.init?.type === "AwaitExpression" && d.init.argument.type === "CallExpression" && d.init.argument.arguments[0];
+    return arg?.type === "ObjectExpression" && ["rootDir", "scope", "appSessionId"].every((k) => propertyNames(arg).includes(k));
+  });
+  const dialog = collects && declarators.find((d) => saveDialogCall(d.init));
+  return dialog ? { name: node.id.name, options: node.params[0].name, dialog: dialog.init } : null;
+}
+
+const PATCH = {
+  id: "scripting-api",
+  title: "Local scripting API on the IPC socket",
+  rules: [
+    {
+      id: "scripting-api-module",
+      type: "file",
+      target: targets.buildAsset(MODULE_FILENAME),
+      description: `emit .vite/build/${MODULE_FILENAME}`,
+      content: () => fs.readFileSync(path.join(__dirname, "runtime", MODULE_FILENAME), "utf-8"),
+    },
+    {
+      id: "scripting-api-ipc-client",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "IPC client class → useIpcClient()",
+      match(node, source) {
+        if (!isIpcClientClass(node) || source.startsWith(MARKER, node.end)) return null;
+        return { start: node.end, end: node.end, replacement: api(`useIpcClient(${node.id.name})`) };
+      },
+      applied(node, source) {
+        return isIpcClientClass(node) && source.startsWith(MARKER, node.end);
+      },
+    },
+    {
+      id: "scripting-api-hosts",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "host context constructor → registerHost()",
+      match(node, source) {
+        const body = hostContextConstructor(node);
+        if (!body || source.slice(body.start, body.end).includes(MARKER)) return null;
+        const end = body.end - 1;
+        return { start: end, end, replacement: ";" + api("registerHost(this)") };
+      },
+      applied(node, source) {
+        const body = hostContextConstructor(node);
+        return !!body && source.slice(body.start, body.end).includes(MARKER);
+      },
+    },
+    methodHookRule(
+      "scripting-api-server-messages",
+      "routeIncomingMessage",
+      "app-server messages → onServerMessage()",
+      (message) => `onServerMessage(this,${message})`
+    ),
+    methodHookRule(
+      "scripting-api-client-responses",
+      "handleClientResponse",
+      "answers from the windows → onClientResponse()",
+      (response) => `onClientResponse(this,${response})`
+    ),
+    methodHookRule(
+      "scripting-api-window-ready",
+      "markWebContentsReady",
+      "a window has loaded → onWindowReady()",
+      () => "onWindowReady()"
+    ),
+    {
+      id: "scripting-api-log-export",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "log export → useLogExport()",
+      match(node, source) {
+        const exporter = logExport(node);
+        if (!exporter || source.startsWith(MARKER, node.end)) return null;
+        return { start: node.end, end: node.end, replacement: api(`useLogExport(${exporter.name})`) };
+      },
+      applied(node, source) {
+        return !!logExport(node) && source.startsWith(MARKER, node.end);
+      },
+    },
+    {
+      id: "scripting-api-log-export-path",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "log export: options.filePath skips the save dialog",
+      match(node, source) {
+        const exporter = logExport(node);
+        if (!exporter || filePathPatched(exporter.dialog, source)) return null;
+        const at = exporter.dialog.start;
+        return { start: at, end: at, replacement: `${MARKER}${exporter.options}.filePath??` };
+      },
+      applied(node, source) {
+        const exporter = logExport(node);
+        return !!exporter && filePathPatched(exporter.dialog, source);
+      },
+    },
+  ],
+};
+
+module.exports = PATCH;
+
+if (require.main === module) runPatchCli(PATCH);
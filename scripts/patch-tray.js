@@ -0,0 +1,197 @@
+/**
+ * Post-build patch: tray icon for running threads, approvals and unread items
+ *
+ * The main bundle has no Tray, and on Linux / Windows closing the last window
+ * quits the app. This patch:
+ *
+ *   1. emits src/.vite/build/tray.js (from scripts/runtime/)
+ *   2. passes every app-server message and every answer the windows send back
+ *      to tray.js (routeIncomingMessage / handleClientResponse of the
+ *      app-server connection)
+ *   3. passes the electron-set-badge-count count to tray.js
+ *   4. hands the application menu builder's options to tray.js, which creates
+ *      the tray on the first build
+ *   5. skips scheduler ticks while automations are paused from the tray
+ *   6. keeps the app running on window-all-closed while the tray exists
+ *
+ * Usage:
+ *   node scripts/patch-tray.js          # apply patch
+ *   node scripts/patch-tray.js --check  # read-only status check
+ *   node scripts/patch-tray.js --json   # print the report as JSON
+ */
+const fs = require("fs");
+const path = require("path");
+const { getKeyName, targets, runPatchCli } = require("./lib/patch-engine");
+
+// ──────────────────────────────────────────────
+//  Runtime module
+// ──────────────────────────────────────────────
+
+const MODULE_FILENAME = "tray.js";
+const MARKER = "/*tray*/";
+
+// tray.js never throws from these; the catch reports a missing or broken module
+const failed = `catch(t){console.error("[tray] hook failed",t)}`;
+const tray = (call) => `${MARKER}try{require("./${MODULE_FILENAME}").${call}}${failed}`;
+const trayReturnIf = (call) => `${MARKER}try{if(require("./${MODULE_FILENAME}").${call})return}${failed}`;
+
+// ──────────────────────────────────────────────
+//  Patch manifest
+// ──────────────────────────────────────────────
+
+const bodyOf = (fn) => fn.body.type === "BlockStatement" ? fn.body : null;
+const startsWithMarker = (block, source) => source.startsWith(MARKER, block.start + 1);
+const paramNames = (fn) => fn.params[0]?.type === "ObjectPattern" ? fn.params[0].properties.map((p) => p.type === "Property" && getKeyName(p)) : [];
+
+/** methodName(param) { … } → insert at the start of the body */
+function methodStartRule(id, methodName, description, call) {
+  const method = (node) =>
+    node.type === "MethodDefinition" && getKeyName(node) === methodName && node.value.params.length === 1 &&
+    node.value.params[0].type === "Identifier" ? node.value : null;
+  return {
+    id,
+    type: "ast",
+    target: targets.mainBundle,
+    description,
+    match(node, source) {
+      const fn = method(node);
+      if (!fn || startsWithMarker(fn.body, source)) return null;
+      const at = fn.body.start + 1;
+      return { start: at, end: at, replacement: tray(call(fn.params[0].name)) };
+    },
+    applied(node, source) {
+      const fn = method(node);
+      return !!fn && startsWithMarker(fn.body, source);
+    },
+  };
+}
+
+/** function scheduler({ appServerConnection, tickMs, maxPerTick, … }) { …; const tick = async () => { … } } */
+function schedulerTick(node) {
+  if (node.type !== "FunctionDeclaration" || node.params.length !== 1) return null;
+  const names = paramNames(node);
+  if (!["appServerConnection", "tickMs", "maxPerTick"].every((k) => names.includes(k))) return null;
+  for (const statement of node.body.body) {
+    if (statement.type !== "VariableDeclaration") continue;
+    const tick = statement.declarations.find((d) => d.init?.type === "ArrowFunctionExpression" && d.init.async && bodyOf(d.init));
+    if (tick) return bodyOf(tick.init);
+  }
+  return null;
+}
+
+/** app.on("window-all-closed", () => { … }) */
+function windowAllClosed(node) {
+  const { callee } = node;
+  if (node.type !== "CallExpression" || callee.type !== "MemberExpression" || callee.property.name !== "on") return null;
+  const [event, listener] = node.arguments;
+  if (event?.type !== "Literal" || event.value !== "window-all-closed") return null;
+  return listener && listener.type.endsWith("FunctionExpression") ? bodyOf(listener) : null;
+}
+
+/** function builder({ getElectronMessageHandlerForWindow, navigateToRoute, selectHost, … }) { … } */
+function isMenuBuilder(node) {
+  if (node.type !== "FunctionDeclaration" || !node.id || node.params.length !== 1) return false;
+  const names = paramNames(node);
+  return ["getElectronMessageHandlerForWindow", "navigateToRoute", "selectHost"].every((k) => names.includes(k));
+}
+
+/** case "electron-set-badge-count": { app.setBadgeCount(message.count); break } */
+function badgeCase(node, source) {
+  if (node.type !== "SwitchCase" || node.test?.type !== "Literal" || node.test.value !== "electron-set-badge-count") return null;
+  const block = node.consequent[0];
+  if (node.consequent.length !== 1 || block.type !== "BlockStatement") return null;
+  const brk = block.body[block.body.length - 1];
+  const call = source.slice(block.start, block.end).match(/\.setBadgeCount\(([^)]+)\)/);
+  return brk?.type === "BreakStatement" && call ? { block, brk, count: call[1] } : null;
+}
+
+const PATCH = {
+  id: "tray",
+  title: "Tray icon (running threads, approvals, unread items)",
+  rules: [
+    {
+      id: "tray-module",
+      type: "file",
+      target: targets.buildAsset(MODULE_FILENAME),
+      description: `emit .vite/build/${MODULE_FILENAME}`,
+      content: () => fs.readFileSync(path.join(__dirname, "runtime", MODULE_FILENAME), "utf-8"),
+    },
+    methodStartRule(
+      "tray-server-messages",
+      "routeIncomingMessage",
+      "app-server messages → onServerMessage()",
+      (message) => `onServerMessage(this,${message})`
+    ),
+    methodStartRule(
+      "tray-client-responses",
+      "handleClientResponse",
+      "answers from the windows → onClientResponse()",
+      (response) => `onClientResponse(this,${response})`
+    ),
+    {
+      id: "tray-badge-count",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "electron-set-badge-count → setBadgeCount()",
+      match(node, source) {
+        const badge = badgeCase(node, source);
+        if (!badge || source.slice(badge.block.start, badge.block.end).includes(MARKER)) return null;
+        return { start: badge.brk.start, end: badge.brk.start, replacement: tray(`setBadgeCount(${badge.count})`) };
+      },
+      applied(node, source) {
+        const badge = badgeCase(node, source);
+        return !!badge && source.slice(badge.block.start, badge.block.end).includes(MARKER);
+      },
+    },
+    {
+      id: "tray-menu-host",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "attachMenuHost() at the end of the application menu builder",
+      match(node, source) {
+        if (!isMenuBuilder(node) || source.slice(node.body.start, node.body.end).includes(MARKER)) return null;
+        const end = node.body.end - 1;
+        return { start: end, end, replacement: ";" + tray("attachMenuHost(arguments[0])") };
+      },
+      applied(node, source) {
+        return isMenuBuilder(node) && source.slice(node.body.start, node.body.end).includes(MARKER);
+      },
+    },
+    {
+      id: "tray-automations-pause",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "automation scheduler tick returns early while paused",
+      match(node, source) {
+        const tick = schedulerTick(node);
+        if (!tick || startsWithMarker(tick, source)) return null;
+        const at = tick.start + 1;
+        return { start: at, end: at, replacement: trayReturnIf("automationsPaused()") };
+      },
+      applied(node, source) {
+        const tick = schedulerTick(node);
+        return !!tick && startsWithMarker(tick, source);
+      },
+    },
+    {
+      id: "tray-keep-running",
+      type: "ast",
+      target: targets.mainBundle,
+      description: "window-all-closed does not quit while the tray exists",
+      match(node, source) {
+        const body = windowAllClosed(node);
+        if (!body || startsWithMarker(body, source)) return null;
+        const at = body.start + 1;
+        return { start: at, end: at, replacement: trayReturnIf("keepRunning()") };
+      },
+      applied(node, source) {
+        const body = windowAllClosed(node);
+        return !!body && startsWithMarker(body, source);
+      },
+    },
+  ],
+};
+
+module.exports = PATCH;
+
+if (require.main === module) runPatchCli(PATCH);
@@ -0,0 +1,104 @@
+/**
+ * Post-build patch: auto-update on Linux / Windows
+ *
+ * The main bundle routes `install-app-update`, the "Check for Updates…" menu
+ * item and `app-update-ready-changed` through its Sparkle manager, which only
+ * works on macOS. This patch:
+ *
+ *   1. emits src/.vite/build/update-manager.js (from scripts/runtime/)
+ *   2. hooks it into the Sparkle manager class on non-darwin platforms:
+ *        initialize()                  – start the update manager
+ *        installUpdatesIfAvailable()   – install the staged update
+ *        getUpdater()                  – back the "Check for Updates…" menu item
+ *
+ * The release feed is configured at runtime, see scripts/runtime/update-manager.js.
+ *
+ * Usage:
+ *   node scripts/patch-update-manager.js          # apply patch
+ *   node scripts/patch-update-manager.js --check  # read-only status check
+ *   node scripts/patch-update-manager.js --json   # print the report as JSON
+ */
+const fs = require("fs");
+const path = require("path");
+const { getKeyName, targets, runPatchCli } = require("./lib/patch-engine");
+
+// ──────────────────────────────────────────────
+//  Runtime module
+// ──────────────────────────────────────────────
+
+const MODULE_FILENAME = "update-manager.js";
+const MODULE_SOURCE = path.join(__dirname, "runtime", MODULE_FILENAME);
+const MARKER = "/*update-manager*/";
+
+// ──────────────────────────────────────────────
+//  Snippets (inserted at the top of each method body)
+// ──────────────────────────────────────────────
+
+const SNIPPETS = {
+  initialize:
+    `${MARKER}if(process.platform!=="darwin"&&!this.updateManager)try{` +
+    `this.updateManager=require("./${MODULE_FILENAME}").createUpdateManager({` +
+    `onUpdateReadyChanged:e=>{this.isUpdateReady=e,this.options.onUpdateReadyChanged?.(e)},` +
+    `onInstallUpdatesRequested:()=>this.options.onInstallUpdatesRequested?.()` +
+    `}),this.updateManager.start()}catch(e){console.error("[update-manager] failed to start",e)}`,
+  installUpdatesIfAvailable: `${MARKER}if(this.updateManager){this.updateManager.install();return}`,
+  getUpdater: `${MARKER}if(this.updateManager)return this.updateManager;`,
+};
+
+// ──────────────────────────────────────────────
+//  Patch manifest
+// ──────────────────────────────────────────────
+
+/** The Sparkle manager is the class with both initSparkleUpdater() and installUpdatesIfAvailable() */
+function isSparkleManager(classBody) {
+  const names = new Set(
+    classBody.body.filter((m) => m.type === "MethodDefinition").map((m) => getKeyName(m))
+  );
+  return names.has("initSparkleUpdater") && names.has("installUpdatesIfAvailable");
+}
+
+function sparkleMethodBody(node, methodName) {
+  if (node.type !== "ClassBody" || !isSparkleManager(node)) return null;
+  const method = node.body.find((m) => m.type === "MethodDefinition" && getKeyName(m) === methodName);
+  return method ? method.value.body : null;
+}
+
+function methodRule(methodName) {
+  return {
+    id: `sparkle-${methodName}`,
+    type: "ast",
+    target: targets.mainBundle,
+    description: `Sparkle manager ${methodName}() → update-manager on non-darwin`,
+    match(node, source) {
+      const body = sparkleMethodBody(node, methodName);
+      if (!body) return null;
+      if (source.slice(body.start, body.end).includes(MARKER)) return null;
+      return { start: body.start + 1, end: body.start + 1, replacement: SNIPPETS[methodName] };
+    },
+    applied(node, source) {
+      const body = sparkleMethodBody(node, methodName);
+      return !!body && source.slice(body.start, body.end).includes(MARKER);
+    },
+  };
+}
+
+const PATCH = {
+  id: "update-manager",
+  title: "Linux / Windows update manager",
+  rules: [
+    {
+      id: "update-manager-module",
+      type: "file",
+      target: targets.buildAsset(MODULE_FILENAME),
+      description: `emit .vite/build/${MODULE_FILENAME}`,
+      content: () => fs.readFileSync(MODULE_SOURCE, "utf-8"),
+    },
+    methodRule("initialize"),
+    methodRule("installUpdatesIfAvailable"),
+    methodRule("getUpdater"),
+  ],
+};
+
+module.exports = PATCH;
+
+if (require.main === module) runPatchCli(PATCH);
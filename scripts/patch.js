@@ -0,0 +1,48 @@
+/**
+ * Run every patch script in one go
+ *
+ * Applies (or, with --check, dry-runs) all patches in build order and reports
+ * a status per rule. A failing patch does not stop the ones after it; the
+ * process exits non-zero with a summary when any patch failed, so a DMG
+ * refresh can be gated on patch compatibility before anyone builds.
+ *
+ * Usage:
+ *   node scripts/patch.js                      # apply all patches
+ *   node scripts/patch.js --check              # dry run, never writes
+ *   node scripts/patch.js --check --json       # machine-readable report on stdout
+ *   node scripts/patch.js --report <path>      # default: out/patch-report/pipeline.json
+ *   node scripts/patch.js --overrides <file>   # gate overrides for patch-gates.js
+ *   node scripts/patch.js --csp-overrides <file>  # CSP sources for patch-csp.js
+ *   node scripts/patch.js --i18n-overrides <dir>  # translation overrides for patch-i18n.js
+ *   CODEX_BRANDING=<file> node scripts/patch.js   # branding other than branding.toml
+ */
+const { runPipelineCli } = require("./lib/patch-engine");
+
+/** Build order */
+function getPipeline(argv = process.argv.slice(2)) {
+  return [
+    { id: "copyright", load: () => require("./patch-copyright").createPatch() },
+    { id: "branding", load: () => require("./patch-branding").createPatch() },
+    { id: "gates", load: () => require("./patch-gates").createPatch(argv) },
+    { id: "process-polyfill", load: () => require("./patch-process-polyfill") },
+    { id: "chromium-flags", load: () => require("./patch-chromium-flags") },
+    { id: "css-containment", load: () => require("./patch-css-containment") },
+    { id: "csp", load: () => require("./patch-csp").createPatch(argv) },
+    { id: "i18n", load: () => require("./patch-i18n").createPatch(argv) },
+    { id: "update-manager", load: () => require("./patch-update-manager") },
+    { id: "host-actions", load: () => require("./patch-host-actions") },
+    { id: "keybindings", load: () => require("./patch-keybindings") },
+    { id: "tray", load: () => require("./patch-tray") },
+    { id: "deep-links", load: () => require("./patch-deep-links") },
+    { id: "scripting-api", load: () => require("./patch-scripting-api") },
+    { id: "notifications", load: () => require("./patch-notifications") },
+    { id: "dev-reload", load: () => require("./patch-dev-reload") },
+  ];
+}
+
+module.exports = { getPipeline };
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  runPipelineCli(getPipeline(argv), argv);
+}
@@ -0,0 +1,55 @@
+/**
+ * Upstream release diff report
+ *
+ * Compares two Codex source trees (old vs new `src/`) and lists what an
+ * upstream refresh adds or removes: IPC message types, fetch routes, worker
+ * RPC methods, app-server notifications, SQLite migrations, deep-link hosts
+ * and locale files. update-from-dmg.js writes this report automatically;
+ * this script runs it by hand, e.g. against a backup of src/.
+ *
+ * Usage:
+ *   node scripts/release-diff.js <before-src> [after-src] [--out <dir>] [--json]
+ *
+ *   after-src   defaults to ./src
+ *   --out       report directory (default: out/release-diff)
+ *   --json      print the JSON report instead of the Markdown one
+ *
+ * Writes <out>/release-diff.md and <out>/release-diff.json.
+ */
+const path = require("path");
+const { collectSurface, diffSurfaces, renderMarkdown, writeReports } = require("./lib/release-diff");
+
+const ROOT = path.join(__dirname, "..");
+const DEFAULT_OUT_DIR = path.join(ROOT, "out", "release-diff");
+
+function getArgValue(argv, flag) {
+  const idx = argv.indexOf(flag);
+  return idx !== -1 && idx + 1 < argv.length ? argv[idx + 1] : null;
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const asJson = argv.includes("--json");
+  const outDir = path.resolve(getArgValue(argv, "--out") || DEFAULT_OUT_DIR);
+  const positional = argv.filter((a, i) => !a.startsWith("--") && argv[i - 1] !== "--out");
+
+  if (positional.length < 1) {
+    console.error("Usage: node scripts/release-diff.js <before-src> [after-src] [--out <dir>] [--json]");
+    process.exit(1);
+  }
+
+  const beforeRoot = path.resolve(positional[0]);
+  const afterRoot = path.resolve(positional[1] || path.join(ROOT, "src"));
+
+  const diff = diffSurfaces(collectSurface(beforeRoot), collectSurface(afterRoot));
+  const written = writeReports(diff, outDir);
+
+  if (asJson) {
+    console.log(JSON.stringify(diff, null, 2));
+    return;
+  }
+  console.log(renderMarkdown(diff));
+  console.log(`📝 Report: ${path.relative(ROOT, written.markdown)}, ${path.relative(ROOT, written.json)}`);
+}
+
+main();
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+/**
+ * codex-desktop — drive the running app from a terminal
+ * (ships as resources/codex-desktop.js; the codex-desktop / codex-desktop.cmd
+ * launchers next to it run it with the app's own Electron as Node)
+ *
+ * Talks to the app's scripting API on the desktop IPC socket (see
+ * scripting-api.js) with the token from $CODEX_HOME/scripting-token. When the
+ * app is not running it starts it, waits until a window has loaded, then runs
+ * the command.
+ *
+ * Usage:
+ *   codex-desktop open <path>                    new thread in that folder
+ *   codex-desktop new "<prompt>" [--cwd <dir>] [--sandbox <mode>] [--model <name>]
+ *                 [--host <id>] [--no-open]     start a thread (and show it)
+ *   codex-desktop threads ls [--limit <n>] [--host <id>] [--json]
+ *   codex-desktop inbox ls [--limit <n>] [--json]
+ *   codex-desktop automations ls [--json]
+ *   codex-desktop automations run <id>
+ *   codex-desktop logs export [--scope today|last7days] [--out <file>]
+ *
+ *   --no-launch   fail instead of starting the app
+ *
+ * Environment: CODEX_HOME (~/.codex), CODEX_DESKTOP_TIMEOUT (seconds to wait
+ * for a started app, 60), CODEX_DESKTOP_APP (the app executable, for a copy
+ * run outside the package).
+ */
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+
+const METHOD_PREFIX = "scripting/v1/";
+const CLIENT_TYPE = "codex-desktop-cli";
+const TOKEN_FILENAME = "scripting-token";
+const REQUEST_TIMEOUT_MS = 15000; // the router itself gives up after 10 s
+const POLL_INTERVAL_MS = 500;
+const API_GRACE_MS = 5000; // router up, API client not registered yet
+
+const USAGE = `Usage: codex-desktop <command> [options]
+
+Commands:
+  open <path>                  Open a new thread in that folder
+  new "<prompt>"               Start a thread and show it in the app
+      --cwd <dir>                folder to work in (default: .)
+      --sandbox <mode>           read-only | workspace-write | danger-full-access
+                                 (full access needs the app started with
+                                 CODEX_SCRIPTING_API=full)
+      --model <name>             model (default: config.toml)
+      --host <id>                remote host id (default: local)
+      --no-open                  do not bring the thread up in the app
+  threads ls                   Recent threads (--limit <n>, --host <id>, --json)
+  inbox ls                     Automation runs in the inbox (--limit <n>, --json)
+  automations ls               Automations (--json)
+  automations run <id>         Run an automation now
+  logs export                  Write the app's logs to a file
+      --scope <scope>            today | last7days (default: today)
+      --out <file>               default: a new file in $CODEX_HOME/log-exports
+                                 (any other path needs CODEX_SCRIPTING_API=full)
+
+Options:
+  --no-launch                  Fail instead of starting the app
+  -h, --help                   Show this help`;
+
+class UsageError extends Error {}
+
+// ──────────────────────────────────────────────
+//  Arguments
+// ──────────────────────────────────────────────
+
+const VALUE_FLAGS = ["--cwd", "--sandbox", "--model", "--host", "--limit", "--scope", "--out"];
+const BOOLEAN_FLAGS = ["--json", "--no-open", "--no-launch", "--help", "-h"];
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [name, inline] = arg.startsWith("--") ? arg.split(/=(.*)/s, 2) : [arg];
+    if (VALUE_FLAGS.includes(name)) {
+      const value = inline ?? argv[++i];
+      if (value == null) throw new UsageError(`${name} needs a value`);
+      flags[name.slice(2)] = value;
+    } else if (BOOLEAN_FLAGS.includes(arg)) {
+      flags[arg.replace(/^-+/, "")] = true;
+    } else if (arg.startsWith("-") && arg !== "-") {
+      throw new UsageError(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  if (flags.h) flags.help = true;
+  return { positional, flags };
+}
+
+function limitFlag(flags) {
+  if (flags.limit == null) return undefined;
+  const limit = Number(flags.limit);
+  if (!Number.isInteger(limit) || limit < 1) throw new UsageError("--limit must be a positive number");
+  return limit;
+}
+
+// ──────────────────────────────────────────────
+//  IPC connection
+// ──────────────────────────────────────────────
+
+/** Same path as the app's router: a per-user socket in the temp dir, a named pipe on Windows */
+function socketPath() {
+  if (process.platform === "win32") return path.join("\\\\.\\pipe", "codex-ipc");
+  const uid = process.getuid?.();
+  return path.join(os.tmpdir(), "codex-ipc", uid ? `ipc-${uid}.sock` : "ipc.sock");
+}
+
+function readToken() {
+  const home = process.env.CODEX_HOME || path.join(os.homedir(), ".codex");
+  try {
+    return fs.readFileSync(path.join(home, TOKEN_FILENAME), "utf8").trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function frame(message) {
+  const json = JSON.stringify(message);
+  const buffer = Buffer.alloc(4 + Buffer.byteLength(json, "utf8"));
+  buffer.writeUInt32LE(buffer.length - 4, 0);
+  buffer.write(json, 4, "utf8");
+  return buffer;
+}
+
+class IpcConnection {
+  constructor(socket) {
+    this.socket = socket;
+    this.clientId = null;
+    this.pending = new Map();
+    this.buffer = Buffer.alloc(0);
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("close", () => {
+      for (const { reject, timer } of this.pending.values()) {
+        clearTimeout(timer);
+        reject(new Error("connection closed"));
+      }
+      this.pending.clear();
+    });
+  }
+
+  /** Resolves with an initialized connection, or null when nothing listens on the socket */
+  static open() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(socketPath());
+      socket.once("error", (err) => (["ENOENT", "ECONNREFUSED"].includes(err.code) ? resolve(null) : reject(err)));
+      socket.once("connect", async () => {
+        socket.removeAllListeners("error");
+        socket.on("error", () => {});
+        const connection = new IpcConnection(socket);
+        try {
+          connection.clientId = (await connection.send("initialize", { clientType: CLIENT_TYPE })).clientId;
+          resolve(connection);
+        } catch (err) {
+          connection.close();
+          reject(err);
+        }
+      });
+    });
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.buffer.length >= 4) {
+      const length = this.buffer.readUInt32LE(0);
+      if (this.buffer.length < 4 + length) return;
+      const message = JSON.parse(this.buffer.subarray(4, 4 + length).toString("utf8"));
+      this.buffer = this.buffer.subarray(4 + length);
+      this.handle(message);
+    }
+  }
+
+  handle(message) {
+    if (message.type === "client-discovery-request") {
+      // Requests of other clients: this one handles none of them
+      this.socket.write(frame({ type: "client-discovery-response", requestId: message.requestId, response: { canHandle: false } }));
+      return;
+    }
+    if (message.type !== "response") return; // broadcasts
+    const pending = this.pending.get(message.requestId);
+    if (!pending) return;
+    this.pending.delete(message.requestId);
+    clearTimeout(pending.timer);
+    if (message.resultType === "success") pending.resolve(message.result);
+    else pending.reject(new Error(message.error || "request failed"));
+  }
+
+  send(method, params) {
+    const requestId = crypto.randomUUID();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        reject(new Error(`${method}: no answer`));
+      }, REQUEST_TIMEOUT_MS);
+      this.pending.set(requestId, { resolve, reject, timer });
+      this.socket.write(frame({ type: "request", requestId, sourceClientId: this.clientId ?? undefined, method, params }));
+    });
+  }
+
+  /** A scripting API method, with the token */
+  call(name, params = {}) {
+    return this.send(METHOD_PREFIX + name, { ...params, token: this.token });
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+// ──────────────────────────────────────────────
+//  App
+// ──────────────────────────────────────────────
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** { connection, hello } once the app answers, "no-router" / "no-api" otherwise */
+async function probe() {
+  const connection = await IpcConnection.open();
+  if (!connection) return "no-router";
+  connection.token = readToken();
+  try {
+    const hello = await connection.call("hello");
+    connection.scheme = hello.scheme;
+    return { connection, hello };
+  } catch (err) {
+    connection.close();
+    if (err.message === "no-client-found") return "no-api";
+    if (err.message === "unauthorized") {
+      throw new Error(`The app rejected the token in $CODEX_HOME/${TOKEN_FILENAME} (is CODEX_HOME the same as the app's?)`);
+    }
+    throw err;
+  }
+}
+
+function launchApp() {
+  const executable = process.env.CODEX_DESKTOP_APP || (process.versions.electron ? process.execPath : null);
+  if (!executable) throw new Error("The app is not running. Start it, or set CODEX_DESKTOP_APP to its executable.");
+  const env = { ...process.env };
+  delete env.ELECTRON_RUN_AS_NODE;
+  // The scripting API is opt-in; an app started for the CLI needs it on
+  env.CODEX_SCRIPTING_API = env.CODEX_SCRIPTING_API || "1";
+  const bundle = process.platform === "darwin" && executable.match(/^(.*?\.app)\/Contents\/MacOS\//);
+  const child = bundle
+    ? spawn("open", ["-a", bundle[1], "--env", `CODEX_SCRIPTING_API=${env.CODEX_SCRIPTING_API}`], { detached: true, stdio: "ignore", env })
+    : spawn(executable, [], { detached: true, stdio: "ignore", env });
+  child.unref();
+}
+
+async function connectToApp({ launch }) {
+  const timeoutMs = (Number(process.env.CODEX_DESKTOP_TIMEOUT) || 60) * 1000;
+  const startedAt = Date.now();
+  let launched = false;
+  for (;;) {
+    const result = await probe();
+    if (typeof result === "object") {
+      if (result.hello.ready) return result.connection;
+      result.connection.close();
+    } else if (result === "no-router" && !launched) {
+      if (!launch) throw new Error("The app is not running.");
+      console.error("Starting the app…");
+      launchApp();
+      launched = true;
+    } else if (result === "no-api" && !launched && Date.now() - startedAt > API_GRACE_MS) {
+      throw new Error("The app does not answer on its IPC socket. Start it with CODEX_SCRIPTING_API=1 (the scripting API is off by default).");
+    }
+    if (Date.now() - startedAt > timeoutMs) throw new Error("Timed out waiting for the app window.");
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Output
+// ──────────────────────────────────────────────
+
+function formatTime(value) {
+  if (value == null) return "";
+  const ms = value < 1e12 ? value * 1000 : value; // the app-server counts seconds, the app milliseconds
+  const date = new Date(ms);
+  if (Number.isNaN(date.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function oneLine(text, max = 60) {
+  const line = String(text ?? "").replace(/\s+/g, " ").trim();
+  return line.length > max ? `${line.slice(0, max - 1)}…` : line;
+}
+
+function printTable(rows, columns) {
+  if (rows.length === 0) return;
+  const cells = rows.map((row) => columns.map((column) => String(column.value(row) ?? "")));
+  const widths = columns.map((_, i) => Math.max(...cells.map((row) => row[i].length)));
+  for (const row of cells) {
+    console.log(row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join("  ").trimEnd());
+  }
+}
+
+function print(flags, data, list, columns, empty) {
+  if (flags.json) {
+    console.log(JSON.stringify(data, null, 2));
+  } else if (list.length === 0) {
+    console.log(empty);
+  } else {
+    printTable(list, columns);
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Commands
+// ──────────────────────────────────────────────
+
+const COMMANDS = {
+  async open(api, [target], flags) {
+    if (!target) throw new UsageError("open needs a path");
+    const resolved = path.resolve(target);
+    if (!fs.existsSync(resolved)) throw new Error(`No such file or folder: ${resolved}`);
+    const dir = fs.statSync(resolved).isDirectory() ? resolved : path.dirname(resolved);
+    await api.call("links/open", { url: `${api.scheme}://new?path=${encodeURIComponent(dir)}` });
+  },
+
+  async new(api, words, flags) {
+    const prompt = words.join(" ").trim();
+    if (!prompt) throw new UsageError('new needs a prompt: codex-desktop new "…"');
+    const remote = flags.host != null && flags.host !== "local";
+    const cwd = remote ? flags.cwd : path.resolve(flags.cwd ?? ".");
+    if (!cwd) throw new UsageError("--cwd is required with --host");
+    const started = await api.call("threads/start", {
+      hostId: flags.host,
+      cwd,
+      prompt,
+      model: flags.model,
+      sandbox: flags.sandbox,
+    });
+    if (!flags["no-open"] && !remote) {
+      await api.call("links/open", { url: `${api.scheme}://threads/${started.threadId}` });
+    }
+    console.log(flags.json ? JSON.stringify(started, null, 2) : started.threadId);
+  },
+
+  async threads(api, [sub], flags) {
+    if (sub !== "ls") throw new UsageError("threads: ls");
+    const result = await api.call("threads/list", { limit: limitFlag(flags), hostId: flags.host });
+    print(flags, result, result.threads, [
+      { value: (t) => t.id },
+      { value: (t) => formatTime(t.updatedAt ?? t.createdAt) },
+      { value: (t) => t.cwd ?? "" },
+      { value: (t) => oneLine(t.name ?? t.preview) },
+    ], "No threads.");
+  },
+
+  async inbox(api, [sub], flags) {
+    if (sub !== "ls") throw new UsageError("inbox: ls");
+    const result = await api.call("inbox/list", { limit: limitFlag(flags) });
+    print(flags, result, result.items, [
+      { value: (item) => (item.readAt == null ? "•" : " ") },
+      { value: (item) => formatTime(item.createdAt) },
+      { value: (item) => item.status },
+      { value: (item) => item.threadId },
+      { value: (item) => oneLine(item.title) },
+    ], "The inbox is empty.");
+  },
+
+  async automations(api, [sub, id], flags) {
+    if (sub === "ls") {
+      const result = await api.call("automations/list");
+      print(flags, result, result.automations, [
+        { value: (a) => a.id },
+        { value: (a) => a.status },
+        { value: (a) => (a.nextRunAt ? `next ${formatTime(a.nextRunAt)}` : "") },
+        { value: (a) => oneLine(a.name) },
+      ], "No automations.");
+    } else if (sub === "run") {
+      if (!id) throw new UsageError("automations run needs an id (see automations ls)");
+      await api.call("automations/run", { id });
+      console.log(`Started ${id}`);
+    } else {
+      throw new UsageError("automations: ls | run <id>");
+    }
+  },
+
+  async logs(api, [sub], flags) {
+    if (sub !== "export") throw new UsageError("logs: export");
+    const scope = flags.scope ?? "today";
+    const out = flags.out == null ? undefined : path.resolve(flags.out);
+    const result = await api.call("logs/export", { scope, path: out });
+    console.log(result.path);
+  },
+};
+
+async function main(argv) {
+  const { positional, flags } = parseArgs(argv);
+  const [command, ...rest] = positional;
+  if (flags.help || !command) {
+    console.log(USAGE);
+    return command || flags.help ? 0 : 2;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new UsageError(`Unknown command: ${command}`);
+
+  const connection = await connectToApp({ launch: !flags["no-launch"] });
+  try {
+    await run(connection, rest, flags);
+  } finally {
+    connection.close();
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(`codex-desktop: ${err.message}`);
+    if (err instanceof UsageError) console.error("Run codex-desktop --help for usage.");
+    process.exit(err instanceof UsageError ? 2 : 1);
+  }
+);
@@ -0,0 +1,241 @@
+/**
+ * Extra codex:// deep-link routes (runs inside Electron's main process)
+ *
+ * patch-deep-links.js copies this file to src/.vite/build/deep-links.js and
+ * hooks it into the bundle's deep-link parser and router:
+ *
+ *   parseDeepLink(url)       tried before the upstream parser: a route, null
+ *                            for a malformed link of the forms below, or
+ *                            undefined to leave the link to upstream
+ *   navigate(options)        the router's options ({ window, route, … }):
+ *                            null once handled here, else { window, route }
+ *                            for the upstream router
+ *   attachMenuHost(options)  the application menu builder's options, for
+ *                            selectHost()
+ *   attachOpener(open)       the bundle's own deep-link handler (parse, queue
+ *                            until a window is ready, route); openDeepLink()
+ *                            hands it links from other sources (scripting API)
+ *
+ * Forms (codex: stands for the branded scheme):
+ *
+ *   codex://automations/<id>/runs/<threadId>  one run of an automation (the
+ *                                             run's thread)
+ *   codex://settings/<section>                see SETTINGS_SECTIONS
+ *   codex://worktrees?path=<dir>              new thread in that worktree
+ *   codex://new?host=<id>&path=<dir>&prompt=<text>
+ *                                             a new thread on that host, in
+ *                                             that workspace root
+ *
+ * Everything upstream understands (codex://settings, skills, automations, new,
+ * threads/<id>|new with prompt / originUrl / path) still goes to upstream.
+ * Only what the webview already reads is routed: it has no navigation state
+ * for one automation, one turn or a sandbox mode.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const LOG_PREFIX = "[deep-links]";
+const LOCAL_HOST_ID = "local";
+
+// Section → webview route (the settings pages' slugs)
+const SETTINGS_SECTIONS = {
+  general: "/settings",
+  agent: "/settings/agent",
+  personalization: "/settings/personalization",
+  git: "/settings/git-settings",
+  mcp: "/settings/mcp-settings",
+  environments: "/settings/local-environments",
+  "local-environments": "/settings/local-environments",
+  "remote-connections": "/settings/remote-connections",
+  ssh: "/settings/remote-connections",
+  worktrees: "/settings/worktrees",
+  "data-controls": "/settings/data-controls",
+  licenses: "/settings/open-source-licenses",
+  skills: "/skills",
+};
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const AUTOMATION_ID = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+const HOST_ID = /^[A-Za-z0-9][A-Za-z0-9_.:@-]{0,255}$/;
+
+function scheme() {
+  try {
+    return `${require("./branding.json").protocol}:`;
+  } catch {
+    return "codex:";
+  }
+}
+
+function decode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+function param(url, name) {
+  const value = url.searchParams.get(name);
+  return value && value.trim() ? value : null;
+}
+
+// ──────────────────────────────────────────────
+//  Parser
+// ──────────────────────────────────────────────
+
+function parseNewThread(url) {
+  const host = param(url, "host");
+  if (host == null) return undefined; // upstream's new-thread link
+  if (!HOST_ID.test(host)) return null;
+  return {
+    kind: "pinnedNewThread",
+    hostId: host,
+    prompt: param(url, "prompt") ?? undefined,
+    originUrl: param(url, "originUrl"),
+    path: param(url, "path"),
+  };
+}
+
+function parseDeepLink(link) {
+  if (typeof link !== "string") return undefined;
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return undefined;
+  }
+  if (url.protocol !== scheme()) return undefined;
+  const segments = url.pathname.split("/").filter(Boolean).map(decode);
+  if (segments.includes(null)) return null;
+
+  switch (url.host) {
+    case "settings": {
+      if (segments.length === 0) return undefined;
+      const route = segments.length === 1 ? SETTINGS_SECTIONS[segments[0]] : null;
+      return route ? { kind: "settingsSection", route } : null;
+    }
+    case "automations": {
+      if (segments.length <= 1) return undefined; // upstream opens the inbox
+      const [automationId, runs, threadId] = segments;
+      if (!AUTOMATION_ID.test(automationId)) return null;
+      if (segments.length === 3 && runs === "runs" && UUID.test(threadId)) {
+        return { kind: "automationRun", automationId, conversationId: threadId };
+      }
+      return null;
+    }
+    case "worktrees": {
+      const dir = param(url, "path");
+      if (segments.length > 0) return null;
+      return dir ? { kind: "worktree", path: dir } : { kind: "settingsSection", route: SETTINGS_SECTIONS.worktrees };
+    }
+    case "threads": {
+      return segments[0] === "new" && segments.length === 1 ? parseNewThread(url) : undefined;
+    }
+    case "new":
+      return segments.length === 0 ? parseNewThread(url) : undefined;
+    default:
+      return undefined;
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Router
+// ──────────────────────────────────────────────
+
+let menuHost = null;
+
+/** Called at the end of every application menu build */
+function attachMenuHost(options) {
+  menuHost = options;
+}
+
+/** The checked-out worktree root containing `dir` (a .git file or directory), or null */
+function worktreeRoot(dir) {
+  let current = path.resolve(dir);
+  try {
+    if (!fs.statSync(current).isDirectory()) return null;
+  } catch {
+    return null;
+  }
+  for (;;) {
+    if (fs.existsSync(path.join(current, ".git"))) return current;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+async function hostWindow(hostId) {
+  if (!menuHost) return null;
+  return menuHost.selectHost(hostId);
+}
+
+/**
+ * @param {{ window: Electron.BrowserWindow, route: object,
+ *           navigateToRoute: (win: Electron.BrowserWindow, path: string, state?: object) => void }} options
+ * @returns {Promise<{ window: Electron.BrowserWindow, route: object } | null>}
+ */
+async function navigate(options) {
+  const { window: win, route, navigateToRoute } = options;
+  switch (route.kind) {
+    case "settingsSection":
+      navigateToRoute(win, route.route);
+      return null;
+    case "automationRun":
+      navigateToRoute(win, `/local/${route.conversationId}`);
+      return null;
+    case "worktree": {
+      const root = worktreeRoot(route.path);
+      if (!root) {
+        console.warn(LOG_PREFIX, `not a git worktree: ${route.path}`);
+        return null;
+      }
+      return { window: win, route: { kind: "newThread", path: root, originUrl: null } };
+    }
+    case "pinnedNewThread": {
+      if (route.hostId === LOCAL_HOST_ID) {
+        return { window: win, route: { kind: "newThread", prompt: route.prompt, originUrl: route.originUrl, path: route.path } };
+      }
+      // The path lives on the remote host, so it is passed on unchecked
+      const target = await hostWindow(route.hostId);
+      if (!target) {
+        console.warn(LOG_PREFIX, `unknown host: ${route.hostId}`);
+        return null;
+      }
+      navigateToRoute(target, "/", {
+        focusComposerNonce: Date.now(),
+        prefillPrompt: route.prompt,
+        prefillCwd: route.path ?? undefined,
+      });
+      return null;
+    }
+    default:
+      return { window: win, route };
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Opener
+// ──────────────────────────────────────────────
+
+let opener = null;
+
+/** Called once with the handler the bundle uses for argv and open-url links */
+function attachOpener(open) {
+  opener = open;
+}
+
+/** Opens `link` as if the OS had handed it over; false if no parser knows it */
+function openDeepLink(link) {
+  if (!opener) throw new Error("deep-link handler not available");
+  return opener(link) === true;
+}
+
+module.exports = {
+  SETTINGS_SECTIONS,
+  parseDeepLink,
+  navigate,
+  attachMenuHost,
+  attachOpener,
+  openDeepLink,
+};
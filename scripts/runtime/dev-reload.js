@@ -0,0 +1,52 @@
+/**
+ * Dev-mode reload hook (runs inside Electron's main process, never shipped)
+ *
+ * `npm run dev:watch` starts Electron with CODEX_DEV_RELOAD pointing at this
+ * file; the hook patch-dev-reload.js prepends to main.js requires it, for
+ * unpackaged runs only. scripts/start-dev.js then writes one command per line
+ * to the app's stdin:
+ *
+ *   reload   reload every page served from the bundled webview (app://),
+ *            bypassing the cache; the main process keeps running
+ */
+const readline = require("readline");
+
+const LOG_PREFIX = "[dev-reload]";
+const MARKER = "/* dev-reload-patch */";
+const RENDERER_ORIGIN = "app://";
+
+function reloadRenderers() {
+  const { webContents } = require("electron");
+  const pages = webContents
+    .getAllWebContents()
+    .filter((wc) => !wc.isDestroyed() && wc.getURL().startsWith(RENDERER_ORIGIN));
+  for (const wc of pages) wc.reloadIgnoringCache();
+  console.log(LOG_PREFIX, `reloaded ${pages.length} renderer(s)`);
+}
+
+const COMMANDS = {
+  reload: reloadRenderers,
+};
+
+function startDevReload(input = process.stdin) {
+  const lines = readline.createInterface({ input });
+  lines.on("line", (line) => {
+    const name = line.trim();
+    if (!name) return;
+    if (!COMMANDS[name]) {
+      console.warn(LOG_PREFIX, `unknown command "${name}"`);
+      return;
+    }
+    try {
+      COMMANDS[name]();
+    } catch (err) {
+      console.error(LOG_PREFIX, `${name} failed`, err);
+    }
+  });
+  console.log(LOG_PREFIX, "waiting for reload commands on stdin");
+}
+
+module.exports = {
+  MARKER,
+  startDevReload,
+};
@@ -0,0 +1,229 @@
+/**
+ * Host actions the Electron main process does not implement upstream
+ * (runs inside Electron's main process)
+ *
+ * The bundle's message handler throws `"<type>" is not implemented in
+ * Electron.` for messages only the VS Code extension host handled.
+ * patch-host-actions.js copies this file to src/.vite/build/host-actions.js
+ * and routes three of them here:
+ *
+ *   open-config-toml         $CODEX_HOME/config.toml (created if missing) in the
+ *                            preferred open-in target, through the same
+ *                            `open-file` route the webview uses; when no
+ *                            target is available, in a built-in editor window
+ *   show-settings            the settings page (/settings, same as Settings…)
+ *   open-keyboard-shortcuts  the keybindings editor (keybindings.js, emitted by
+ *                            patch-keybindings.js)
+ *
+ * CODEX_CONFIG_EDITOR=builtin always uses the built-in editor.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { app, BrowserWindow, dialog, ipcMain } = require("electron");
+
+const LOG_PREFIX = "[host-actions]";
+const CONFIG_FILENAME = "config.toml";
+const SETTINGS_ROUTE = "/settings";
+const EDITOR_PRELOAD = path.join(__dirname, "host-actions-preload.js");
+
+const CHANNELS = {
+  load: "codex_desktop:config-editor-load",
+  save: "codex_desktop:config-editor-save",
+  dirty: "codex_desktop:config-editor-dirty",
+};
+
+function codexHome(env = process.env) {
+  return env.CODEX_HOME || path.join(os.homedir(), ".codex");
+}
+
+function dataUrl(html) {
+  return `data:text/html;charset=utf-8,${encodeURIComponent(html)}`;
+}
+
+function focusWindow(win) {
+  if (!win || win.isDestroyed()) return;
+  if (win.isMinimized()) win.restore();
+  win.show();
+  win.focus();
+}
+
+// Static pages only: inline styles / scripts, nothing loaded from elsewhere
+const PAGE_CSP = "default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'";
+
+const PAGE_STYLE = `
+  :root { color-scheme: light dark; font: 13px system-ui, sans-serif; }
+  body { margin: 0; }
+  header { display: flex; gap: 8px; align-items: center; padding: 8px 12px;
+           border-bottom: 1px solid color-mix(in srgb, currentColor 15%, transparent); }
+  header .path { flex: 1; opacity: .7; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+`;
+
+// ──────────────────────────────────────────────
+//  config.toml
+// ──────────────────────────────────────────────
+
+const editors = new Map(); // webContents id → { win, file, dirty }
+let editorIpcRegistered = false;
+
+function ensureConfigFile() {
+  const file = path.join(codexHome(), CONFIG_FILENAME);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, "");
+  }
+  return file;
+}
+
+function setEdited(editor, dirty) {
+  editor.dirty = dirty;
+  if (process.platform === "darwin") editor.win.setDocumentEdited(dirty);
+}
+
+function registerEditorIpc() {
+  if (editorIpcRegistered) return;
+  editorIpcRegistered = true;
+  const editorFor = (event) => {
+    const editor = editors.get(event.sender.id);
+    if (!editor) throw new Error("not a config editor window");
+    return editor;
+  };
+  ipcMain.handle(CHANNELS.load, (event) => {
+    const { file } = editorFor(event);
+    return { file, text: fs.readFileSync(file, "utf-8") };
+  });
+  ipcMain.handle(CHANNELS.save, (event, text) => {
+    const editor = editorFor(event);
+    fs.writeFileSync(editor.file, String(text));
+    setEdited(editor, false);
+    return { savedAt: Date.now() };
+  });
+  ipcMain.on(CHANNELS.dirty, (event, dirty) => {
+    const editor = editors.get(event.sender.id);
+    if (!editor) return;
+    setEdited(editor, Boolean(dirty));
+  });
+}
+
+const EDITOR_HTML = `<!doctype html>
+<html><head><meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${PAGE_CSP}">
+<title>config.toml</title>
+<style>${PAGE_STYLE}
+  html, body { height: 100%; }
+  body { display: flex; flex-direction: column; }
+  textarea { flex: 1; border: 0; outline: 0; resize: none; padding: 12px; background: transparent;
+             color: inherit; font: 13px/1.5 ui-monospace, monospace; tab-size: 2; }
+  .status { opacity: .7; }
+</style></head>
+<body>
+<header><span class="path" id="path"></span><span class="status" id="status"></span>
+<button id="save">Save</button></header>
+<textarea id="text" spellcheck="false"></textarea>
+<script>
+  const text = document.getElementById("text");
+  const status = document.getElementById("status");
+  let saved = "";
+  const setDirty = () => {
+    const dirty = text.value !== saved;
+    status.textContent = dirty ? "Edited" : "";
+    codexConfigEditor.setDirty(dirty);
+  };
+  const save = async () => {
+    const value = text.value;
+    try {
+      await codexConfigEditor.save(value);
+      saved = value;
+      setDirty();
+      status.textContent = "Saved";
+    } catch (err) {
+      status.textContent = "Save failed: " + err.message;
+    }
+  };
+  codexConfigEditor.load().then(({ file, text: value }) => {
+    document.getElementById("path").textContent = file;
+    text.value = saved = value;
+    text.focus();
+  });
+  text.addEventListener("input", setDirty);
+  text.addEventListener("keydown", (e) => {
+    if ((e.metaKey || e.ctrlKey) && e.key === "s") { e.preventDefault(); save(); }
+    if (e.key === "Tab") { e.preventDefault(); text.setRangeText("  ", text.selectionStart, text.selectionEnd, "end"); setDirty(); }
+  });
+  document.getElementById("save").addEventListener("click", save);
+</script>
+</body></html>`;
+
+/** The built-in editor; one window per file */
+function openConfigEditor(file) {
+  for (const editor of editors.values()) {
+    if (editor.file === file && !editor.win.isDestroyed()) return focusWindow(editor.win);
+  }
+  registerEditorIpc();
+
+  const win = new BrowserWindow({
+    title: `${CONFIG_FILENAME} — ${app.getName()}`,
+    width: 760,
+    height: 640,
+    autoHideMenuBar: true,
+    webPreferences: { preload: EDITOR_PRELOAD, contextIsolation: true, nodeIntegration: false, sandbox: true },
+  });
+  const id = win.webContents.id;
+  const editor = { win, file, dirty: false };
+  editors.set(id, editor);
+
+  win.on("close", (event) => {
+    if (!editor.dirty) return;
+    const choice = dialog.showMessageBoxSync(win, {
+      type: "warning",
+      buttons: ["Discard", "Cancel"],
+      defaultId: 1,
+      cancelId: 1,
+      message: `Discard unsaved changes to ${CONFIG_FILENAME}?`,
+    });
+    if (choice !== 0) event.preventDefault();
+  });
+  win.on("closed", () => editors.delete(id));
+  win.webContents.setWindowOpenHandler(() => ({ action: "deny" }));
+  win.loadURL(dataUrl(EDITOR_HTML));
+}
+
+async function openConfigToml(message, host) {
+  const file = ensureConfigFile();
+  if (process.env.CODEX_CONFIG_EDITOR !== "builtin") {
+    const target = typeof message.target === "string" ? message.target : undefined;
+    const result = await host.openFile({ path: file, ...(target ? { target } : {}) });
+    if (result?.success) return;
+    console.warn(LOG_PREFIX, "no open-in target for", file, "- using the built-in editor");
+  }
+  openConfigEditor(file);
+}
+
+// ──────────────────────────────────────────────
+//  Entry point (called from the bundle's message handler)
+// ──────────────────────────────────────────────
+
+/**
+ * @param {Electron.WebContents} webContents  the window that sent the message
+ * @param {{ type: string, target?: string }} message
+ * @param {{ openFile: (args: { path: string, target?: string }) => Promise<{ success: boolean }>,
+ *           navigateToRoute: (path: string) => void }} host  hooks into the bundle
+ */
+async function handleHostAction(webContents, message, host) {
+  switch (message.type) {
+    case "open-config-toml":
+      return openConfigToml(message, host);
+    case "show-settings":
+      focusWindow(BrowserWindow.fromWebContents(webContents));
+      return host.navigateToRoute(SETTINGS_ROUTE);
+    case "open-keyboard-shortcuts":
+      return require("./keybindings.js").openKeybindingsEditor();
+    default:
+      throw new Error(`"${message.type}" is not implemented in Electron.`);
+  }
+}
+
+module.exports = {
+  CHANNELS,
+  handleHostAction,
+};
@@ -0,0 +1,13 @@
+/**
+ * Preload for the keyboard shortcuts editor window (see keybindings.js)
+ *
+ * Runs sandboxed, so the channel names are repeated here rather than required.
+ */
+const { contextBridge, ipcRenderer } = require("electron");
+
+contextBridge.exposeInMainWorld("codexKeybindings", {
+  load: () => ipcRenderer.invoke("codex_desktop:keybindings-load"),
+  check: (rows) => ipcRenderer.invoke("codex_desktop:keybindings-check", rows),
+  save: (rows) => ipcRenderer.invoke("codex_desktop:keybindings-save", rows),
+  onChange: (listener) => ipcRenderer.on("codex_desktop:keybindings-load", (_event, model) => listener(model)),
+});
@@ -0,0 +1,205 @@
+/**
+ * Native-module smoke test entry (runs inside the packaged app's Electron)
+ *
+ * Launched by scripts/smoke-native.js, never shipped. Loads every package left
+ * in the packaged app's node_modules after packageAfterPrune, exercises the
+ * native ones, and checks that every external the main bundle requires is
+ * still there:
+ *
+ *   better-sqlite3   open an in-memory database, write and read a row
+ *   node-pty         spawn a shell, wait for its output and exit code
+ *   everything else  require() resolves and loads
+ *   bundle externals each bare require()/import() in .vite/build resolves
+ *
+ * Works both as an Electron main process (`--headless`, waits for app ready)
+ * and under ELECTRON_RUN_AS_NODE.
+ *
+ * Environment:
+ *   CODEX_SMOKE_APP      packaged app: <resources>/app.asar (or an app/ dir)
+ *   CODEX_SMOKE_REPORT   where to write the JSON report
+ */
+const fs = require("fs");
+const path = require("path");
+const Module = require("module");
+
+const TEST_TIMEOUT_MS = 15000;
+
+const STATUS = {
+  PASS: "pass",
+  FAIL: "fail",
+};
+
+function withTimeout(promise, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${TEST_TIMEOUT_MS}ms`)), TEST_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ──────────────────────────────────────────────
+//  Package-specific checks
+// ──────────────────────────────────────────────
+
+function testBetterSqlite3(mod) {
+  const db = new mod(":memory:");
+  try {
+    db.exec("CREATE TABLE smoke (id INTEGER PRIMARY KEY, value TEXT)");
+    db.prepare("INSERT INTO smoke (value) VALUES (?)").run("codex");
+    const row = db.prepare("SELECT value FROM smoke WHERE id = 1").get();
+    if (!row || row.value !== "codex") throw new Error(`unexpected row: ${JSON.stringify(row)}`);
+    const { version } = db.prepare("SELECT sqlite_version() AS version").get();
+    return `in-memory database OK (SQLite ${version})`;
+  } finally {
+    db.close();
+  }
+}
+
+function testNodePty(mod) {
+  const [file, args, expected] = process.platform === "win32"
+    ? ["cmd.exe", ["/d", "/c", "echo codex-smoke-%OS%"], "codex-smoke-Windows_NT"]
+    : ["/bin/sh", ["-c", "echo codex-smoke-$((6 * 7))"], "codex-smoke-42"];
+
+  return withTimeout(
+    new Promise((resolve, reject) => {
+      let output = "";
+      let term;
+      try {
+        term = mod.spawn(file, args, { cols: 80, rows: 24, cwd: process.cwd(), env: process.env });
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      term.onData((data) => {
+        output += data;
+      });
+      term.onExit(({ exitCode }) => {
+        if (exitCode !== 0) reject(new Error(`${file} exited with ${exitCode}: ${JSON.stringify(output)}`));
+        else if (!output.includes(expected)) reject(new Error(`expected "${expected}" from ${file}, got ${JSON.stringify(output)}`));
+        else resolve(`spawned ${file} (pid ${term.pid}), output OK`);
+      });
+    }),
+    "node-pty spawn"
+  );
+}
+
+const PACKAGE_TESTS = {
+  "better-sqlite3": testBetterSqlite3,
+  "node-pty": testNodePty,
+};
+
+// ──────────────────────────────────────────────
+//  Discovery
+// ──────────────────────────────────────────────
+
+function listPackages(nodeModules) {
+  if (!fs.existsSync(nodeModules)) return [];
+  const names = [];
+  for (const entry of fs.readdirSync(nodeModules)) {
+    if (entry.startsWith(".")) continue;
+    if (entry.startsWith("@")) {
+      for (const scoped of fs.readdirSync(path.join(nodeModules, entry))) names.push(`${entry}/${scoped}`);
+    } else {
+      names.push(entry);
+    }
+  }
+  return names.sort();
+}
+
+/** Bare module specifiers the main bundle loads at runtime → files that load them */
+function bundleExternals(appPath) {
+  const buildDir = path.join(appPath, ".vite", "build");
+  const builtins = new Set(Module.builtinModules);
+  const externals = new Map();
+  if (!fs.existsSync(buildDir)) return externals;
+
+  const re = /\b(?:require|import)\(\s*["']((?:@[\w.-]+\/)?[\w][\w.-]*(?:\/[^"']*)?)["']\s*\)/g;
+  for (const file of fs.readdirSync(buildDir).filter((f) => f.endsWith(".js"))) {
+    const code = fs.readFileSync(path.join(buildDir, file), "utf-8");
+    for (const [, specifier] of code.matchAll(re)) {
+      if (specifier.startsWith("node:") || specifier === "electron" || specifier.startsWith("electron/")) continue;
+      const name = specifier.startsWith("@") ? specifier.split("/").slice(0, 2).join("/") : specifier.split("/")[0];
+      if (builtins.has(name)) continue;
+      if (!externals.has(name)) externals.set(name, new Set());
+      externals.get(name).add(file);
+    }
+  }
+  return externals;
+}
+
+function readVersion(nodeModules, name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(nodeModules, name, "package.json"), "utf-8")).version || null;
+  } catch {
+    return null;
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Run
+// ──────────────────────────────────────────────
+
+async function runSmoke(appPath) {
+  const nodeModules = path.join(appPath, "node_modules");
+  const appRequire = Module.createRequire(path.join(appPath, "package.json"));
+  const externals = bundleExternals(appPath);
+  const installed = listPackages(nodeModules);
+  const names = [...new Set([...installed, ...externals.keys()])].sort();
+
+  const packages = [];
+  for (const name of names) {
+    const result = {
+      name,
+      version: readVersion(nodeModules, name),
+      requiredBy: [...(externals.get(name) || [])],
+      status: STATUS.PASS,
+      message: "",
+    };
+    try {
+      if (!installed.includes(name)) {
+        throw new Error(`required by ${result.requiredBy.join(", ")} but missing from the pruned node_modules`);
+      }
+      const mod = appRequire(name);
+      result.message = PACKAGE_TESTS[name] ? await PACKAGE_TESTS[name](mod) : "loaded";
+    } catch (err) {
+      result.status = STATUS.FAIL;
+      result.message = err.message.split("\n")[0];
+    }
+    packages.push(result);
+  }
+
+  return {
+    ok: packages.every((p) => p.status === STATUS.PASS),
+    mode: process.type === "browser" ? "browser" : "node",
+    electron: process.versions.electron || null,
+    modules: process.versions.modules,
+    platform: process.platform,
+    arch: process.arch,
+    app: appPath,
+    packages,
+  };
+}
+
+async function main() {
+  const appPath = process.env.CODEX_SMOKE_APP;
+  const reportPath = process.env.CODEX_SMOKE_REPORT;
+
+  let report;
+  try {
+    if (!appPath) throw new Error("CODEX_SMOKE_APP is not set");
+    if (process.type === "browser") await require("electron").app.whenReady();
+    report = await runSmoke(appPath);
+  } catch (err) {
+    report = { ok: false, error: err.stack || err.message, packages: [] };
+  }
+
+  const json = JSON.stringify(report, null, 2);
+  if (reportPath) fs.writeFileSync(reportPath, json + "\n");
+  else console.log(json);
+
+  const code = report.ok ? 0 : 1;
+  if (process.type === "browser") require("electron").app.exit(code);
+  else process.exit(code);
+}
+
+main();
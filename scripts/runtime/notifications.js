@@ -0,0 +1,682 @@
+/**
+ * Desktop notification rules, sounds and buttons (runs inside Electron's main
+ * process)
+ *
+ * The windows ask for notifications with desktop-notification-show and get
+ * clicks, buttons and replies back as desktop-notification-action.
+ * patch-notifications.js copies this file (and notification-rules.js) to
+ * src/.vite/build/ and feeds it from the bundle:
+ *
+ *   useIpcClient(IpcClient)               the bundle's IPC client class
+ *   onServerMessage(connection, message)  every message an app-server sends:
+ *                                         pending approvals (command or file
+ *                                         change), thread folders, turn
+ *                                         results, rate limits
+ *   onAutomationRun(automationId, threadId, name, cwd)
+ *                                         an automation run was recorded
+ *                                         (threadId is "pending:…" until its
+ *                                         thread has started)
+ *   onAutomationRunThread(from, to)       a pending run got its thread
+ *   onAutomationRunArchived(threadId, reason)  a run was archived ("auto":
+ *                                         it failed to start)
+ *   decorate(notification, onAction)      every desktop-notification-show;
+ *                                         returns [notification, onAction]
+ *                                         with the buttons added and the
+ *                                         approval buttons handled here, or
+ *                                         null when the rules hide it
+ *   useFactory(createNotification, platform)  the notification manager's
+ *                                         factory; returns the one to use
+ *
+ * Rules ($CODEX_HOME/notifications.json, see notification-rules.js) decide per
+ * event whether a notification is shown and with which sound:
+ *
+ *   approval-needed      the window's permission notifications
+ *   turn-completed       the window's turn-complete notifications
+ *   automation-finished  turn-complete of an automation run's thread; shown
+ *   automation-failed    from here when no window is open, and for runs
+ *                        that fail to start
+ *   rate-limit-warning   shown from here when a rate-limit window passes the
+ *                        threshold (account/rateLimits/updated)
+ *
+ * A sound file plays through the platform's player (afplay, paplay / pw-play /
+ * aplay, PowerShell's SoundPlayer for .wav) and the notification itself is
+ * silent. The window's other notifications are left as they are.
+ *
+ * Buttons are only added to notifications the window sent without any:
+ *
+ *   permission     Approve, Decline (for a pending command or file change),
+ *                  Open thread
+ *   turn-complete  Open thread, and a reply field for a follow-up
+ *
+ * Approve / Decline go out on the IPC router as
+ * thread-follower-command-approval-decision / thread-follower-file-approval-decision,
+ * the requests a follower window sends when the approval is answered there. The
+ * window that owns the thread takes the request and answers the app-server.
+ * If no window takes it, the thread is opened so the prompt can be answered
+ * there. Open thread and replies go back to the window like a click.
+ *
+ * Linux: Electron's notifications have no buttons there. When the session's
+ * notification server (org.freedesktop.Notifications, through gdbus) has the
+ * "actions" capability, notifications go over D-Bus with their buttons, and
+ * with the reply field where it has "inline-reply" (KDE Plasma). Otherwise,
+ * or when gdbus is missing, they stay Electron's (a click opens the thread).
+ *
+ * CODEX_NOTIFICATION_ACTIONS=0 turns the buttons and the D-Bus notifications
+ * off; the rules still apply.
+ */
+const { execFile, spawn } = require("child_process");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const { app, BrowserWindow, Notification } = require("electron");
+const rules = require("./notification-rules.js");
+
+const LOG_PREFIX = "[notifications]";
+const REPORTED_LIMIT = 100;
+const CLIENT_TYPE = "desktop-notifications";
+const LOCAL_HOST_ID = "local";
+const REPLY_PLACEHOLDER = "Send a follow-up…";
+const PENDING_LIMIT = 200;
+const KNOWN_THREADS_LIMIT = 500;
+
+// Server requests that wait for the user, by what they ask for
+const APPROVAL_KINDS = [
+  { kind: "command", method: /^item\/commandExecution\/requestApproval$|^execCommandApproval$/ },
+  { kind: "file", method: /^item\/fileChange\/requestApproval$|^applyPatchApproval$/ },
+];
+
+// Approval kind → the thread-follower request that answers it
+const FOLLOWER_METHODS = {
+  command: "thread-follower-command-approval-decision",
+  file: "thread-follower-file-approval-decision",
+};
+
+// Button → the answer of the v2 (item/…) and the legacy approval requests
+const DECISIONS = {
+  approve: { v2: "accept", legacy: "approved" },
+  decline: { v2: "decline", legacy: "denied" },
+};
+
+const ACTIONS = {
+  approve: { id: "codex-approve", title: "Approve", actionType: "approve" },
+  decline: { id: "codex-decline", title: "Decline", actionType: "decline" },
+  open: { id: "codex-open-thread", title: "Open thread", actionType: "open" },
+};
+
+const DBUS = {
+  dest: "org.freedesktop.Notifications",
+  path: "/org/freedesktop/Notifications",
+};
+const GDBUS_TIMEOUT_MS = 5000;
+
+// Sound file players, first one found wins
+const SOUND_PLAYERS = {
+  darwin: [["afplay"]],
+  linux: [["paplay"], ["pw-play"], ["aplay", "-q"]],
+  win32: [["powershell.exe", "-NoProfile", "-NonInteractive", "-Command"]],
+};
+
+function actionsEnabled(env = process.env) {
+  return env.CODEX_NOTIFICATION_ACTIONS !== "0";
+}
+
+const state = {
+  IpcClient: null,
+  client: null,
+  pending: new Map(), // threadId → [{ hostId, requestId, kind, method }], oldest first
+  capabilities: null, // Promise<Set<string>>, asked once
+  monitor: null, // gdbus monitor child process
+  dbusNotifications: new Map(), // D-Bus notification id → FreedesktopNotification
+  cwds: new Map(), // threadId → cwd
+  runs: new Map(), // threadId → { automationId, name, cwd, status }
+  rateLimitsWarned: new Map(), // "primary" / "secondary" → resetsAt of the window warned about
+  createNotification: null, // the manager's factory, wrapped
+  shown: new Set(), // our own notifications, referenced until closed
+  reported: new Set(), // messages of the failures logged so far
+};
+
+/** Logs each distinct failure once */
+function report(err) {
+  const key = String(err?.message ?? err);
+  if (state.reported.has(key)) return;
+  state.reported.add(key);
+  if (state.reported.size > REPORTED_LIMIT) state.reported.delete(state.reported.values().next().value);
+  console.error(LOG_PREFIX, err);
+}
+
+// ──────────────────────────────────────────────
+//  App-server messages
+// ──────────────────────────────────────────────
+
+const hostOf = (connection) => connection?.options?.hostId ?? LOCAL_HOST_ID;
+const threadOf = (params) => params.threadId ?? params.conversationId ?? params.thread?.id ?? null;
+
+function approvalKind(method) {
+  return APPROVAL_KINDS.find((k) => k.method.test(method))?.kind ?? null;
+}
+
+function forget(threadId, keep) {
+  const rest = (state.pending.get(threadId) ?? []).filter(keep);
+  if (rest.length) state.pending.set(threadId, rest);
+  else state.pending.delete(threadId);
+}
+
+const otherRequests = (requestId) => (p) => String(p.requestId) !== String(requestId);
+
+function rememberCwd(thread, cwd) {
+  if (typeof thread?.id !== "string" || typeof cwd !== "string") return;
+  state.cwds.delete(thread.id);
+  state.cwds.set(thread.id, cwd);
+  if (state.cwds.size > KNOWN_THREADS_LIMIT) state.cwds.delete(state.cwds.keys().next().value);
+}
+
+function handleServerMessage(connection, message) {
+  if (!message || typeof message !== "object") return;
+  const hostId = hostOf(connection);
+
+  // The first message of a (re)started app-server: none of the old requests can be answered
+  if (connection && connection.initialized === false) {
+    for (const id of [...state.pending.keys()]) forget(id, (p) => p.hostId !== hostId);
+    return;
+  }
+  // thread/started, and the answers to thread/start, thread/resume, thread/read, …
+  const thread = message.params?.thread ?? message.result?.thread;
+  rememberCwd(thread, thread?.cwd ?? message.result?.cwd);
+
+  if (typeof message.method !== "string") return;
+  const params = message.params || {};
+  const threadId = threadOf(params);
+
+  if ("id" in message) {
+    const kind = approvalKind(message.method);
+    if (!kind || typeof threadId !== "string") return;
+    const approval = { hostId, requestId: message.id, kind, method: message.method };
+    state.pending.set(threadId, [...(state.pending.get(threadId) ?? []), approval]);
+    if (state.pending.size > PENDING_LIMIT) state.pending.delete(state.pending.keys().next().value);
+    return;
+  }
+
+  if (message.method === "turn/completed" && typeof threadId === "string") {
+    forget(threadId, (p) => p.hostId !== hostId);
+    automationTurnCompleted(threadId, params.turn);
+  } else if (message.method === "account/rateLimits/updated") {
+    checkRateLimits(params.rateLimits);
+  } else if (message.method === "serverRequest/resolved") {
+    const unresolved = otherRequests(params.requestId);
+    for (const id of [...state.pending.keys()]) forget(id, (p) => p.hostId !== hostId || unresolved(p));
+  }
+}
+
+function onServerMessage(connection, message) {
+  try {
+    handleServerMessage(connection, message);
+  } catch (err) {
+    report(err);
+  }
+}
+
+/** The pending approval a permission notification is about */
+function pendingApproval(notification) {
+  const list = state.pending.get(notification.conversationId);
+  if (!list) return null;
+  if (notification.requestId != null) {
+    return list.find((p) => String(p.requestId) === String(notification.requestId)) ?? null;
+  }
+  return list.length === 1 ? list[0] : null;
+}
+
+// ──────────────────────────────────────────────
+//  Approval decisions
+// ──────────────────────────────────────────────
+
+function useIpcClient(IpcClient) {
+  state.IpcClient = IpcClient;
+}
+
+// Connects on first use; answering discovery requests needs no handlers
+function ipcClient() {
+  if (!state.client && state.IpcClient) {
+    state.client = new state.IpcClient(CLIENT_TYPE, {
+      reportNonFatal: (err) => console.warn(LOG_PREFIX, err?.message ?? err),
+    });
+    app.on("will-quit", () => state.client.dispose());
+  }
+  return state.client;
+}
+
+async function sendDecision(conversationId, approval, button) {
+  const client = ipcClient();
+  if (!client) throw new Error("IPC client class not found");
+  const decision = approval.method.startsWith("item/") ? DECISIONS[button].v2 : DECISIONS[button].legacy;
+  const response = await client.sendRequest(FOLLOWER_METHODS[approval.kind], {
+    conversationId,
+    requestId: approval.requestId,
+    decision,
+  });
+  if (response.resultType !== "success") throw new Error(response.error ?? "no window took the decision");
+  forget(conversationId, otherRequests(approval.requestId));
+}
+
+// ──────────────────────────────────────────────
+//  desktop-notification-show
+// ──────────────────────────────────────────────
+
+/** The rule event of a window notification and what the rules need to know about its thread */
+function classify(notification) {
+  const threadId = notification.conversationId;
+  const automationRun = threadId ? state.runs.get(threadId) : null;
+  const context = { cwd: automationRun?.cwd ?? state.cwds.get(threadId) ?? null, automationId: automationRun?.automationId ?? null };
+  if (notification.kind === "permission") return { event: "approval-needed", context };
+  if (notification.kind !== "turn-complete") return null;
+  if (!automationRun) return { event: "turn-completed", context };
+  return { event: automationRun.status === "failed" ? "automation-failed" : "automation-finished", context };
+}
+
+/** The notification with its sound (notificationSound, read by the factory) and buttons; null hides it */
+function decorateNotification(notification, onAction) {
+  if (!notification) return [notification, onAction];
+  const rule = classify(notification);
+  const settings = rule ? decide(rule.event, rule.context) : { sound: true };
+  if (!settings) return null;
+  const [decorated, handle] = addActions(notification, onAction);
+  return [{ ...decorated, notificationSound: settings.sound }, handle];
+}
+
+function addActions(notification, onAction) {
+  if (!actionsEnabled() || notification.actions?.length || !notification.conversationId) {
+    return [notification, onAction];
+  }
+  const conversationId = notification.conversationId;
+
+  if (notification.kind === "turn-complete") {
+    return [
+      {
+        ...notification,
+        actions: [ACTIONS.open],
+        replyPlaceholder: notification.replyPlaceholder ?? REPLY_PLACEHOLDER,
+      },
+      onAction,
+    ];
+  }
+  if (notification.kind !== "permission") return [notification, onAction];
+
+  const approval = pendingApproval(notification);
+  if (!approval) return [{ ...notification, actions: [ACTIONS.open] }, onAction];
+  ipcClient();
+
+  const open = () => onAction({ notificationId: notification.id, actionId: null, actionType: "open" });
+  const handle = (action) => {
+    if (action.actionType !== "approve" && action.actionType !== "decline") {
+      onAction(action);
+      return;
+    }
+    sendDecision(conversationId, approval, action.actionType).catch((err) => {
+      console.warn(LOG_PREFIX, `${action.actionType} from the notification failed: ${err.message}; opening the thread`);
+      open();
+    });
+  };
+  return [{ ...notification, actions: [ACTIONS.approve, ACTIONS.decline, ACTIONS.open] }, handle];
+}
+
+function decorate(notification, onAction) {
+  try {
+    return decorateNotification(notification, onAction);
+  } catch (err) {
+    report(err);
+    return [notification, onAction];
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Linux: freedesktop notifications over gdbus
+// ──────────────────────────────────────────────
+
+/** A GVariant string literal; gdbus parses its arguments as GVariant text */
+function gvString(value) {
+  const escaped = String(value ?? "").replace(/[\\'\u0000-\u001f\u007f]/g, (c) =>
+    c === "\\" || c === "'" ? `\\${c}` : `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`
+  );
+  return `'${escaped}'`;
+}
+
+/** 'text' or "text" as gdbus prints strings → the string */
+function parseGvString(literal) {
+  const body = literal.trim().slice(1, -1);
+  return body.replace(/\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (_, e) => {
+    if (e[0] === "u" || e[0] === "U") return String.fromCodePoint(parseInt(e.slice(1), 16));
+    return { n: "\n", t: "\t", r: "\r" }[e] ?? e;
+  });
+}
+
+const escapeMarkup = (text) => String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+function gdbus(method, args) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      "gdbus",
+      ["call", "--session", "--dest", DBUS.dest, "--object-path", DBUS.path, "--method", `${DBUS.dest}.${method}`, ...args],
+      { timeout: GDBUS_TIMEOUT_MS },
+      (err, stdout, stderr) => (err ? reject(new Error(String(stderr).trim() || err.message)) : resolve(stdout))
+    );
+  });
+}
+
+function capabilities() {
+  if (!state.capabilities) {
+    state.capabilities = gdbus("GetCapabilities", [])
+      .then((out) => new Set([...out.matchAll(/'([^']*)'/g)].map((m) => m[1])))
+      .catch((err) => {
+        console.warn(LOG_PREFIX, `no freedesktop notification server (${err.message}); notifications have no buttons`);
+        return new Set();
+      });
+  }
+  return state.capabilities;
+}
+
+const SIGNAL = /\.(ActionInvoked|NotificationClosed|NotificationReplied) \(uint32 (\d+), (.*)\)\s*$/;
+
+function handleSignal(line) {
+  const match = line.match(SIGNAL);
+  const notification = match && state.dbusNotifications.get(Number(match[2]));
+  if (!notification) return;
+  const [, signal, , arg] = match;
+  if (signal === "ActionInvoked") notification.invoke(parseGvString(arg));
+  else if (signal === "NotificationReplied") notification.emit("reply", {}, parseGvString(arg));
+  else notification.closed();
+}
+
+// One gdbus monitor for all notifications, started with the first one
+function ensureMonitor() {
+  if (state.monitor) return;
+  const monitor = spawn("gdbus", ["monitor", "--session", "--dest", DBUS.dest, "--object-path", DBUS.path], {
+    stdio: ["ignore", "pipe", "ignore"],
+  });
+  let buffered = "";
+  monitor.stdout.setEncoding("utf8");
+  monitor.stdout.on("data", (chunk) => {
+    const lines = (buffered + chunk).split("\n");
+    buffered = lines.pop();
+    for (const line of lines) handleSignal(line);
+  });
+  monitor.on("error", (err) => report(new Error(`gdbus monitor: ${err.message}`)));
+  monitor.on("exit", (code, signal) => {
+    if (state.monitor !== monitor) return; // stopped on quit
+    state.monitor = null;
+    report(new Error(`gdbus monitor exited (${code ?? signal}); restarted with the next notification`));
+  });
+  state.monitor = monitor;
+}
+
+/**
+ * Shows one notification over D-Bus, or through `fallback` (Electron's) when
+ * the server has no buttons. Emits the events the notification manager listens
+ * to on Electron's: click, action (index), reply (text), close.
+ */
+class FreedesktopNotification extends EventEmitter {
+  constructor(options, fallback) {
+    super();
+    this.options = options;
+    this.fallback = fallback;
+    this.id = null;
+    this.inner = null;
+    this.isClosed = false;
+  }
+
+  show() {
+    capabilities()
+      .then((caps) => {
+        if (this.isClosed) return;
+        if (!caps.has("actions")) return this.showFallback();
+        return this.notify(caps).catch((err) => {
+          console.warn(LOG_PREFIX, `Notify failed (${err.message}); showing it without buttons`);
+          this.showFallback();
+        });
+      })
+      .catch(report);
+  }
+
+  async notify(caps) {
+    const { title, body, actions = [], hasReply, replyPlaceholder, timeoutType } = this.options;
+    const list = ["default", "Open"];
+    actions.forEach((action, index) => list.push(`action-${index}`, action.text));
+    if (hasReply && caps.has("inline-reply")) list.push("inline-reply", "Reply");
+    const hints = [`'urgency': <byte ${timeoutType === "never" ? 2 : 1}>`];
+    if (this.options.silent) hints.push("'suppress-sound': <true>");
+    if (hasReply && replyPlaceholder) hints.push(`'x-kde-reply-placeholder-text': <${gvString(replyPlaceholder)}>`);
+
+    ensureMonitor();
+    const out = await gdbus("Notify", [
+      gvString(app.getName()),
+      "uint32 0",
+      gvString(""),
+      gvString(title),
+      gvString(caps.has("body-markup") ? escapeMarkup(body) : body),
+      `[${list.map(gvString).join(", ")}]`,
+      `{${hints.join(", ")}}`,
+      timeoutType === "never" ? "int32 0" : "int32 -1",
+    ]);
+    const id = Number(out.match(/uint32 (\d+)/)?.[1]);
+    if (!id) throw new Error(`unexpected reply: ${out.trim()}`);
+    this.id = id;
+    state.dbusNotifications.set(id, this);
+    if (this.isClosed) this.close();
+  }
+
+  showFallback() {
+    const { actions, hasReply, replyPlaceholder, ...options } = this.options;
+    this.inner = this.fallback(options);
+    for (const event of ["click", "close"]) this.inner.on(event, (...args) => this.emit(event, ...args));
+    this.inner.show();
+  }
+
+  invoke(key) {
+    if (key === "default") this.emit("click", {});
+    else if (key.startsWith("action-")) this.emit("action", {}, Number(key.slice("action-".length)));
+  }
+
+  closed() {
+    state.dbusNotifications.delete(this.id);
+    this.emit("close", {});
+  }
+
+  close() {
+    this.isClosed = true;
+    if (this.inner) this.inner.close();
+    else if (this.id) gdbus("CloseNotification", [`uint32 ${this.id}`]).catch((err) => report(new Error(`CloseNotification: ${err.message}`)));
+  }
+}
+
+function stopMonitor() {
+  const monitor = state.monitor;
+  state.monitor = null;
+  if (monitor) monitor.kill();
+}
+
+function useFactory(createNotification, platform) {
+  const freedesktop = platform === "linux" && actionsEnabled();
+  if (freedesktop) app.on("will-quit", stopMonitor);
+  const create = ({ notificationSound = true, ...options }) => {
+    const withSound = applySound(options, notificationSound);
+    return freedesktop ? new FreedesktopNotification(withSound, createNotification) : createNotification(withSound);
+  };
+  state.createNotification = create;
+  return create;
+}
+
+// ──────────────────────────────────────────────
+//  Sounds
+// ──────────────────────────────────────────────
+
+/** Notification options for `sound`: true keeps the app's sound, false or a file (played here) silences it */
+function applySound(options, sound) {
+  if (sound === true) return options;
+  if (typeof sound === "string") playSound(sound);
+  return { ...options, silent: true, sound: undefined };
+}
+
+function playSound(file, players = SOUND_PLAYERS[process.platform] ?? []) {
+  if (!fs.existsSync(file)) {
+    console.warn(LOG_PREFIX, `sound file not found: ${file}`);
+    return;
+  }
+  const [player, ...rest] = players;
+  if (!player) {
+    console.warn(LOG_PREFIX, `no player for ${file}`);
+    return;
+  }
+  const [cmd, ...args] = player;
+  const target = process.platform === "win32" ? `(New-Object Media.SoundPlayer '${file.replace(/'/g, "''")}').PlaySync()` : file;
+  const child = spawn(cmd, [...args, target], { stdio: "ignore", windowsHide: true });
+  child.on("error", (err) => (err.code === "ENOENT" ? playSound(file, rest) : console.warn(LOG_PREFIX, `${cmd}: ${err.message}`)));
+  child.unref();
+}
+
+// ──────────────────────────────────────────────
+//  Rules and the notifications shown from here
+// ──────────────────────────────────────────────
+
+const currentRules = () => rules.loadRules((problems) => problems.forEach((p) => console.warn(LOG_PREFIX, p)));
+
+function decide(event, context) {
+  return rules.decide(currentRules(), event, { ...context, focused: BrowserWindow.getFocusedWindow() != null, now: new Date() });
+}
+
+function showOwn(event, context, { title, body, onClick }) {
+  const settings = decide(event, context);
+  if (!settings) return;
+  const create = state.createNotification ?? (({ notificationSound, ...options }) => new Notification(applySound(options, notificationSound)));
+  const notification = create({ title, body, silent: false, notificationSound: settings.sound });
+  state.shown.add(notification);
+  notification.on("click", () => run(onClick));
+  notification.on("close", () => state.shown.delete(notification));
+  notification.show();
+}
+
+function run(action) {
+  Promise.resolve()
+    .then(action)
+    .catch((err) => console.error(LOG_PREFIX, err));
+}
+
+function scheme() {
+  try {
+    return require("./branding.json").protocol;
+  } catch {
+    return "codex";
+  }
+}
+
+function showApp() {
+  const win = BrowserWindow.getAllWindows().find((w) => !w.isDestroyed());
+  if (!win) return;
+  if (win.isMinimized()) win.restore();
+  win.show();
+  win.focus();
+}
+
+const openLink = (link) => () => require("./deep-links.js").openDeepLink(link) || showApp();
+
+// ──────────────────────────────────────────────
+//  Automation runs
+// ──────────────────────────────────────────────
+
+function rememberRun(threadId, automationRun) {
+  state.runs.delete(threadId);
+  state.runs.set(threadId, automationRun);
+  if (state.runs.size > KNOWN_THREADS_LIMIT) state.runs.delete(state.runs.keys().next().value);
+}
+
+function onAutomationRun(automationId, threadId, name, cwd) {
+  try {
+    if (typeof threadId === "string") rememberRun(threadId, { automationId, name, cwd, status: null });
+  } catch (err) {
+    report(err);
+  }
+}
+
+function onAutomationRunThread(from, to) {
+  try {
+    const automationRun = state.runs.get(from);
+    if (!automationRun) return;
+    state.runs.delete(from);
+    rememberRun(to, automationRun);
+  } catch (err) {
+    report(err);
+  }
+}
+
+function onAutomationRunArchived(threadId, reason) {
+  try {
+    const automationRun = state.runs.get(threadId);
+    if (!automationRun || reason !== "auto" || !String(threadId).startsWith("pending:")) return;
+    state.runs.delete(threadId);
+    showOwn("automation-failed", automationRun, {
+      title: "Automation failed",
+      body: `${automationRun.name}: the run could not start`,
+      onClick: openLink(`${scheme()}://automations`),
+    });
+  } catch (err) {
+    report(err);
+  }
+}
+
+// The windows notify about turns they show; with none open nobody else would
+function automationTurnCompleted(threadId, turn) {
+  const automationRun = state.runs.get(threadId);
+  if (!automationRun || !turn || turn.status === "interrupted") return;
+  automationRun.status = turn.status === "failed" ? "failed" : "completed";
+  if (BrowserWindow.getAllWindows().some((w) => !w.isDestroyed())) return;
+  const failed = automationRun.status === "failed";
+  const id = encodeURIComponent(automationRun.automationId);
+  showOwn(failed ? "automation-failed" : "automation-finished", automationRun, {
+    title: failed ? "Automation failed" : "Automation finished",
+    body: failed && turn.error?.message ? `${automationRun.name}: ${turn.error.message}` : automationRun.name,
+    onClick: openLink(`${scheme()}://automations/${id}/runs/${threadId}`),
+  });
+}
+
+// ──────────────────────────────────────────────
+//  Rate limits
+// ──────────────────────────────────────────────
+
+function windowName(minutes) {
+  if (!Number.isFinite(minutes)) return "usage";
+  if (minutes % 10080 === 0) return minutes === 10080 ? "weekly" : `${minutes / 10080}-week`;
+  if (minutes % 1440 === 0) return minutes === 1440 ? "daily" : `${minutes / 1440}-day`;
+  if (minutes % 60 === 0) return `${minutes / 60}-hour`;
+  return `${minutes}-minute`;
+}
+
+/** { primary, secondary }: { usedPercent, windowDurationMins, resetsAt (seconds) } each */
+function checkRateLimits(snapshot) {
+  if (!snapshot || typeof snapshot !== "object") return;
+  for (const name of ["primary", "secondary"]) {
+    const limit = snapshot[name];
+    if (!limit || typeof limit.usedPercent !== "number") continue;
+    const { threshold } = rules.resolveSettings(currentRules(), "rate-limit-warning");
+    const resetsAt = limit.resetsAt ?? null;
+    if (limit.usedPercent < threshold) {
+      if (state.rateLimitsWarned.get(name) === resetsAt) state.rateLimitsWarned.delete(name);
+      continue;
+    }
+    if (state.rateLimitsWarned.get(name) === resetsAt) continue;
+    state.rateLimitsWarned.set(name, resetsAt);
+    const resets = Number.isFinite(resetsAt)
+      ? ` It resets at ${new Date(resetsAt * 1000).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}.`
+      : "";
+    showOwn("rate-limit-warning", {}, {
+      title: "Rate limit warning",
+      body: `You have used ${Math.round(limit.usedPercent)}% of your ${windowName(limit.windowDurationMins)} limit.${resets}`,
+      onClick: showApp,
+    });
+  }
+}
+
+module.exports = {
+  useIpcClient,
+  onServerMessage,
+  onAutomationRun,
+  onAutomationRunThread,
+  onAutomationRunArchived,
+  decorate,
+  useFactory,
+};
@@ -0,0 +1,496 @@
+/**
+ * Local scripting API on the desktop IPC socket (runs inside Electron's main process)
+ *
+ * The app already runs a router on a Unix socket / named pipe for its windows
+ * and followers (IpcRouterManager). patch-scripting-api.js copies this file to
+ * src/.vite/build/scripting-api.js and feeds it from the bundle:
+ *
+ *   useIpcClient(IpcClient)               the bundle's IPC client class
+ *   registerHost(host)                    every host context (hostId,
+ *                                         appServerConnection, fetchHandler);
+ *                                         the first one starts the API client
+ *   onServerMessage(connection, message)  every message an app-server sends:
+ *                                         turn events and approval requests
+ *   onClientResponse(connection, response) answers the windows send back
+ *   onWindowReady()                       a window has loaded (hello → ready)
+ *   useLogExport(exportLogs)              the log export behind Help → export
+ *                                         logs ({ scope, filePath })
+ *
+ * The API client joins the router as one more client ("scripting-api") and
+ * handles the methods in METHODS. Every request carries the token from
+ * $CODEX_HOME/scripting-token (created with mode 0600 on first start), so only
+ * tools that can read the user's files can drive the app. The method names
+ * carry the API version; the framing and the wire format are the router's.
+ *
+ * The API is off unless the app starts with CODEX_SCRIPTING_API set:
+ *   1     on; threads start in read-only or workspace-write mode (the latter
+ *         unless asked otherwise) asking for approval on request, never with
+ *         config.toml's defaults, approvals are listed but not answered and
+ *         logs are only exported to new files in $CODEX_HOME/log-exports
+ *   full  also danger-full-access threads, approvals/respond and log exports
+ *         to any path, i.e. anything that can read the token may run commands
+ *         without the user seeing them
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { app } = require("electron");
+
+const LOG_PREFIX = "[scripting-api]";
+const REPORTED_LIMIT = 100;
+const API_VERSION = 1;
+const METHOD_PREFIX = `scripting/v${API_VERSION}/`;
+const CLIENT_TYPE = "scripting-api";
+const TOKEN_FILENAME = "scripting-token";
+const LOG_EXPORT_DIRNAME = "log-exports";
+const LOCAL_HOST_ID = "local";
+const EVENT_BUFFER_LIMIT = 2000;
+const MAX_WAIT_MS = 8000; // the router answers request-timeout after 10 s
+const THREAD_LIST_LIMIT = 100;
+const INBOX_LIMIT = 200;
+const LOG_SCOPES = ["today", "last7days"];
+
+// Server requests that wait for the user, e.g. item/commandExecution/requestApproval
+const APPROVAL_METHOD = /approval/i;
+
+// API decision → the answer of the v2 (item/…) and the legacy approval requests
+const DECISIONS = {
+  accept: { v2: "accept", legacy: "approved" },
+  acceptForSession: { v2: "acceptForSession", legacy: "approved_for_session" },
+  decline: { v2: "decline", legacy: "denied" },
+  cancel: { v2: "cancel", legacy: "abort" },
+};
+
+const SANDBOX_MODES = ["read-only", "workspace-write", "danger-full-access"];
+// Outside full mode; config.toml may default to full access or never asking
+const DEFAULT_SANDBOX = "workspace-write";
+const DEFAULT_APPROVAL_POLICY = "on-request";
+
+const API_MODES = { 1: "on", true: "on", on: "on", full: "full" };
+
+/** "off", "on" or "full" (CODEX_SCRIPTING_API) */
+function apiMode(env = process.env) {
+  return API_MODES[String(env.CODEX_SCRIPTING_API ?? "").trim().toLowerCase()] ?? "off";
+}
+
+function requireFullMode(what) {
+  if (apiMode() !== "full") throw new Error(`forbidden: ${what} needs CODEX_SCRIPTING_API=full`);
+}
+
+function codexHome(env = process.env) {
+  return env.CODEX_HOME || path.join(os.homedir(), ".codex");
+}
+
+function tokenPath() {
+  return path.join(codexHome(), TOKEN_FILENAME);
+}
+
+function logExportDir() {
+  return path.join(codexHome(), LOG_EXPORT_DIRNAME);
+}
+
+/**
+ * Where logs/export writes: with full mode an absolute path as asked; else a
+ * new file in $CODEX_HOME/log-exports, created here so nothing already there is
+ * overwritten (or followed, for a link)
+ */
+function logExportTarget(requested, scope) {
+  if (apiMode() === "full" && requested != null && path.isAbsolute(requested)) {
+    return { filePath: requested, created: false };
+  }
+  const dir = logExportDir();
+  const target = path.resolve(dir, requested ?? `codex-logs-${scope}-${Date.now()}.txt`);
+  if (path.dirname(target) !== dir) {
+    throw new Error(`forbidden: exporting logs outside ${dir} needs CODEX_SCRIPTING_API=full`);
+  }
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  try {
+    fs.closeSync(fs.openSync(target, "wx", 0o600));
+  } catch (err) {
+    if (err.code === "EEXIST") throw new Error(`invalid-params: ${target} already exists`);
+    throw err;
+  }
+  return { filePath: target, created: true };
+}
+
+const state = {
+  IpcClient: null,
+  started: false,
+  windowReady: false,
+  exportLogs: null,
+  client: null,
+  hosts: new Map(), // hostId → host context
+  events: [], // { seq, hostId, threadId, method, params }
+  seq: 0,
+  waiters: new Set(),
+  approvals: new Map(), // `${hostId}:${requestId}` → { hostId, requestId, method, threadId, params, receivedAt }
+  reported: new Set(), // messages of the failures logged so far
+};
+
+/** Logs each distinct failure once */
+function report(err) {
+  const key = String(err?.message ?? err);
+  if (state.reported.has(key)) return;
+  state.reported.add(key);
+  if (state.reported.size > REPORTED_LIMIT) state.reported.delete(state.reported.values().next().value);
+  console.error(LOG_PREFIX, err);
+}
+
+// ──────────────────────────────────────────────
+//  Token
+// ──────────────────────────────────────────────
+
+function ensureToken() {
+  const file = tokenPath();
+  if (fs.existsSync(file)) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${crypto.randomBytes(32).toString("hex")}\n`, { mode: 0o600, flag: "wx" });
+}
+
+function checkToken(token) {
+  let expected;
+  try {
+    expected = fs.readFileSync(tokenPath(), "utf8").trim();
+  } catch {
+    expected = "";
+  }
+  const given = Buffer.from(typeof token === "string" ? token : "");
+  const wanted = Buffer.from(expected);
+  if (!wanted.length || given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    throw new Error("unauthorized");
+  }
+}
+
+// ──────────────────────────────────────────────
+//  App-server messages
+// ──────────────────────────────────────────────
+
+const hostOf = (connection) => connection?.options?.hostId ?? LOCAL_HOST_ID;
+const approvalKey = (hostId, requestId) => `${hostId}:${String(requestId)}`;
+const threadOf = (params) => params.threadId ?? params.conversationId ?? params.thread?.id ?? null;
+
+function pushEvent(hostId, threadId, method, params) {
+  state.seq += 1;
+  state.events.push({ seq: state.seq, hostId, threadId, method, params });
+  if (state.events.length > EVENT_BUFFER_LIMIT) state.events.splice(0, state.events.length - EVENT_BUFFER_LIMIT);
+  for (const wake of state.waiters) wake();
+}
+
+function forgetHost(hostId) {
+  for (const [key, approval] of state.approvals) if (approval.hostId === hostId) state.approvals.delete(key);
+}
+
+function handleServerMessage(connection, message) {
+  if (!message || typeof message !== "object") return;
+  const hostId = hostOf(connection);
+
+  // The first message of a (re)started app-server: none of the old requests can be answered
+  if (connection && connection.initialized === false) {
+    forgetHost(hostId);
+    return;
+  }
+  if (typeof message.method !== "string") return;
+  const params = message.params || {};
+  const threadId = threadOf(params);
+  if (typeof threadId !== "string" || connection?.ephemeralThreadIds?.has(threadId)) return;
+
+  if ("id" in message) {
+    if (!APPROVAL_METHOD.test(message.method)) return;
+    state.approvals.set(approvalKey(hostId, message.id), {
+      hostId,
+      requestId: message.id,
+      method: message.method,
+      threadId,
+      params,
+      receivedAt: Date.now(),
+    });
+    pushEvent(hostId, threadId, message.method, { ...params, requestId: message.id });
+    return;
+  }
+
+  if (message.method === "turn/completed") {
+    for (const [key, approval] of state.approvals) {
+      if (approval.hostId === hostId && approval.threadId === threadId) state.approvals.delete(key);
+    }
+  } else if (message.method === "serverRequest/resolved") {
+    state.approvals.delete(approvalKey(hostId, params.requestId));
+  }
+  pushEvent(hostId, threadId, message.method, params);
+}
+
+function onServerMessage(connection, message) {
+  try {
+    handleServerMessage(connection, message);
+  } catch (err) {
+    report(err);
+  }
+}
+
+function onClientResponse(connection, response) {
+  try {
+    if (response) state.approvals.delete(approvalKey(hostOf(connection), response.id));
+  } catch (err) {
+    report(err);
+  }
+}
+
+function onWindowReady() {
+  state.windowReady = true;
+}
+
+function useLogExport(exportLogs) {
+  state.exportLogs = exportLogs;
+}
+
+// ──────────────────────────────────────────────
+//  Methods
+// ──────────────────────────────────────────────
+
+function hostFor(params) {
+  const hostId = params.hostId ?? LOCAL_HOST_ID;
+  const host = state.hosts.get(hostId);
+  if (!host) throw new Error(`unknown-host: ${hostId}`);
+  return host;
+}
+
+function requireString(params, name) {
+  const value = params[name];
+  if (typeof value !== "string" || !value.trim()) throw new Error(`invalid-params: ${name}`);
+  return value;
+}
+
+async function appServerRequest(host, method, params) {
+  const connection = host.appServerConnection;
+  await connection.ensureReady();
+  const response = await connection.sendInternalRequest({ id: `scripting-api:${crypto.randomUUID()}`, method, params });
+  if (response.error) throw new Error(response.error.message ?? `${method} failed (code ${response.error.code})`);
+  return response.result;
+}
+
+// The fetch handlers the windows use for the inbox; automations live on this machine
+function localFetch(name, params) {
+  const host = state.hosts.get(LOCAL_HOST_ID);
+  if (!host) throw new Error(`unknown-host: ${LOCAL_HOST_ID}`);
+  return host.fetchHandler.handleVSCodeRequest(null, name, params);
+}
+
+function scheme() {
+  try {
+    return require("./branding.json").protocol;
+  } catch {
+    return "codex";
+  }
+}
+
+function waitForEvents(matches, waitMs) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      state.waiters.delete(check);
+      resolve();
+    };
+    const check = () => matches() && done();
+    const timer = setTimeout(done, waitMs);
+    state.waiters.add(check);
+  });
+}
+
+const METHODS = {
+  async hello() {
+    return {
+      apiVersion: API_VERSION,
+      appVersion: app.getVersion(),
+      ready: state.windowReady,
+      fullAccess: apiMode() === "full",
+      scheme: scheme(),
+      hosts: [...state.hosts.keys()],
+      methods: Object.keys(METHODS).map((name) => METHOD_PREFIX + name),
+    };
+  },
+
+  async "threads/list"(params) {
+    const limit = Number.isInteger(params.limit) ? Math.min(Math.max(params.limit, 1), THREAD_LIST_LIMIT) : 25;
+    const result = await appServerRequest(hostFor(params), "thread/list", { cursor: params.cursor ?? null, limit });
+    return { threads: result?.data ?? [], nextCursor: result?.nextCursor ?? null };
+  },
+
+  async "threads/start"(params) {
+    const host = hostFor(params);
+    const cwd = requireString(params, "cwd");
+    const prompt = requireString(params, "prompt");
+    const full = apiMode() === "full";
+    const sandbox = params.sandbox ?? (full ? null : DEFAULT_SANDBOX);
+    if (sandbox != null && !SANDBOX_MODES.includes(sandbox)) throw new Error("invalid-params: sandbox");
+    if (sandbox === "danger-full-access") requireFullMode("sandbox danger-full-access");
+    // A remote host's folders are not visible here
+    if (host.hostId === LOCAL_HOST_ID && !(fs.existsSync(cwd) && fs.statSync(cwd).isDirectory())) {
+      throw new Error(`invalid-params: cwd is not a directory: ${cwd}`);
+    }
+    const connection = host.appServerConnection;
+    const started = await connection.startThread({
+      model: params.model ?? null,
+      modelProvider: null,
+      cwd,
+      approvalPolicy: full ? null : DEFAULT_APPROVAL_POLICY,
+      sandbox,
+      config: null,
+      baseInstructions: null,
+      developerInstructions: null,
+      personality: null,
+      ephemeral: null,
+      dynamicTools: null,
+      mockExperimentalField: null,
+      experimentalRawEvents: false,
+      persistExtendedHistory: false,
+    });
+    const threadId = started.thread.id;
+    const turn = await connection.startTurn({
+      threadId,
+      input: [{ type: "text", text: prompt, text_elements: [] }],
+      cwd: started.cwd ?? cwd,
+    });
+    return { hostId: host.hostId, threadId, turnId: turn?.turn?.id ?? null, cursor: state.seq };
+  },
+
+  async "events/read"(params) {
+    const after = Number.isInteger(params.after) ? params.after : state.seq;
+    const waitMs = Number.isInteger(params.waitMs) ? Math.min(Math.max(params.waitMs, 0), MAX_WAIT_MS) : 0;
+    const pick = () =>
+      state.events.filter(
+        (event) =>
+          event.seq > after &&
+          (params.threadId == null || event.threadId === params.threadId) &&
+          (params.hostId == null || event.hostId === params.hostId)
+      );
+    if (waitMs > 0 && pick().length === 0) await waitForEvents(() => pick().length > 0, waitMs);
+    const events = pick();
+    return {
+      events,
+      cursor: events.length ? events[events.length - 1].seq : Math.max(after, 0),
+      // Events between `after` and the oldest one kept were dropped
+      truncated: state.events.length > 0 && after < state.events[0].seq - 1,
+    };
+  },
+
+  async "approvals/list"(params) {
+    const approvals = [...state.approvals.values()].filter(
+      (approval) =>
+        (params.threadId == null || approval.threadId === params.threadId) &&
+        (params.hostId == null || approval.hostId === params.hostId)
+    );
+    return { approvals };
+  },
+
+  async "approvals/respond"(params) {
+    requireFullMode("answering approvals");
+    const host = hostFor(params);
+    const decision = DECISIONS[params.decision];
+    if (!decision) throw new Error("invalid-params: decision");
+    const key = approvalKey(host.hostId, params.requestId);
+    const approval = state.approvals.get(key);
+    if (!approval) throw new Error(`unknown-request: ${params.requestId}`);
+    const answer = approval.method.startsWith("item/") ? decision.v2 : decision.legacy;
+    await host.appServerConnection.handleClientResponse({ id: approval.requestId, result: { decision: answer } });
+    state.approvals.delete(key);
+    return { requestId: approval.requestId, decision: answer };
+  },
+
+  async "links/open"(params) {
+    const url = requireString(params, "url");
+    if (!url.startsWith(`${scheme()}://`)) throw new Error(`invalid-params: not a ${scheme()}:// link`);
+    if (!require("./deep-links.js").openDeepLink(url)) throw new Error(`unknown-link: ${url}`);
+    return { url, opened: true };
+  },
+
+  async "inbox/list"(params) {
+    const limit = Number.isInteger(params.limit) ? Math.min(Math.max(params.limit, 1), INBOX_LIMIT) : 50;
+    const { items } = await localFetch("inbox-items", { limit });
+    return { items: items ?? [] };
+  },
+
+  async "logs/export"(params) {
+    const requested = params.path ?? null;
+    const scope = params.scope ?? "today";
+    if (requested != null) requireString(params, "path");
+    if (!LOG_SCOPES.includes(scope)) throw new Error("invalid-params: scope");
+    if (!state.exportLogs) throw new Error("log export not available");
+    const { filePath, created } = logExportTarget(requested, scope);
+    try {
+      await state.exportLogs({ parentWindow: null, appSessionId: "", scope, filePath });
+    } catch (err) {
+      if (created) fs.rmSync(filePath, { force: true });
+      throw err;
+    }
+    return { path: filePath, scope };
+  },
+
+  async "automations/list"() {
+    const { items } = await localFetch("list-automations", {});
+    return { automations: items ?? [] };
+  },
+
+  async "automations/run"(params) {
+    const id = requireString(params, "id");
+    await localFetch("automation-run-now", { id });
+    return { id, started: true };
+  },
+};
+
+// ──────────────────────────────────────────────
+//  IPC client
+// ──────────────────────────────────────────────
+
+function useIpcClient(IpcClient) {
+  state.IpcClient = IpcClient;
+}
+
+function start(host) {
+  if (!state.IpcClient) {
+    console.warn(LOG_PREFIX, "IPC client class not found; the scripting API is off");
+    return;
+  }
+  try {
+    ensureToken();
+  } catch (err) {
+    console.warn(LOG_PREFIX, `cannot create ${tokenPath()}: ${err.message}; the scripting API is off`);
+    return;
+  }
+  const client = new state.IpcClient(CLIENT_TYPE, host.errorReporter);
+  for (const [name, method] of Object.entries(METHODS)) {
+    client.addRequestHandler(
+      METHOD_PREFIX + name,
+      async () => true,
+      async (request) => {
+        const params = request.params && typeof request.params === "object" ? request.params : {};
+        checkToken(params.token);
+        return method(params);
+      }
+    );
+  }
+  app.on("will-quit", () => client.dispose());
+  state.client = client;
+}
+
+/** Called from every host context's constructor */
+function registerHost(host) {
+  try {
+    state.hosts.set(host.hostId, host);
+    if (state.started || apiMode() === "off") return;
+    state.started = true;
+    start(host);
+  } catch (err) {
+    report(err);
+  }
+}
+
+module.exports = {
+  API_VERSION,
+  METHOD_PREFIX,
+  useIpcClient,
+  registerHost,
+  onServerMessage,
+  onClientResponse,
+  onWindowReady,
+  useLogExport,
+};
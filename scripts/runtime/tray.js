@@ -0,0 +1,382 @@
+/**
+ * Tray icon for running threads, approvals and unread items
+ * (runs inside Electron's main process)
+ *
+ * patch-tray.js copies this file to src/.vite/build/tray.js and feeds it from
+ * the bundle:
+ *
+ *   onServerMessage(connection, message)  every message an app-server sends:
+ *                                         turn/started, turn/completed, thread
+ *                                         titles and approval requests
+ *   onClientResponse(connection, response) answers the windows send back
+ *                                         (an approval decided in the UI)
+ *   setBadgeCount(count)                  the electron-set-badge-count message
+ *                                         (unread items, the macOS dock badge)
+ *   attachMenuHost(options)               the application menu builder's
+ *                                         options, to open windows and routes
+ *   automationsPaused()                   asked by the automation scheduler on
+ *                                         every tick
+ *   keepRunning()                         asked on window-all-closed
+ *
+ * The icon gets a dot for the most urgent state (approval pending, unread,
+ * running) and its menu lists the running threads, the inbox, a switch that
+ * pauses scheduled automations, and Quit. While the tray exists, closing the
+ * last window keeps the app running in the tray.
+ *
+ * On by default on Linux and Windows. CODEX_TRAY=0 turns it off (closing the
+ * last window quits again), CODEX_TRAY=1 turns it on for macOS too.
+ * CODEX_TRAY_ICON=<png> replaces the icon.
+ */
+const fs = require("fs");
+const path = require("path");
+const { app, Menu, Tray, nativeImage } = require("electron");
+
+const LOG_PREFIX = "[tray]";
+const LOCAL_HOST_ID = "local";
+const INBOX_ROUTE = "/inbox";
+const TRAY_ICON_FILENAME = "tray.png"; // copied into resources/ by forge.config.js
+const STATE_FILENAME = "tray.json";
+const ICON_SIZE = { darwin: 18, win32: 16 }[process.platform] || 32;
+const MENU_THREAD_LIMIT = 10;
+const TITLE_LIMIT = 48;
+const KNOWN_TITLES_LIMIT = 500;
+const RENDER_DEBOUNCE_MS = 100;
+
+// Server requests that wait for the user, e.g. item/commandExecution/requestApproval
+const APPROVAL_METHOD = /approval/i;
+
+// Most urgent first
+const DOT_COLORS = {
+  approval: [245, 166, 35],
+  unread: [229, 72, 77],
+  running: [47, 128, 237],
+};
+
+function trayEnabled(env = process.env) {
+  if (env.CODEX_TRAY === "0") return false;
+  if (env.CODEX_TRAY === "1") return true;
+  return process.platform !== "darwin";
+}
+
+const state = {
+  tray: null,
+  host: null,
+  badge: 0,
+  titles: new Map(), // threadId → title
+  running: new Map(), // threadId → { hostId, threadId, startedAt }
+  approvals: new Map(), // `${hostId}:${requestId}` → { hostId, threadId }
+  automationsPaused: null, // loaded on first use
+  renderTimer: null,
+  images: new Map(),
+  errorLogged: false,
+};
+
+function report(err) {
+  if (state.errorLogged) return;
+  state.errorLogged = true;
+  console.error(LOG_PREFIX, err);
+}
+
+// ──────────────────────────────────────────────
+//  App-server messages
+// ──────────────────────────────────────────────
+
+const hostOf = (connection) => connection?.options?.hostId ?? LOCAL_HOST_ID;
+const approvalKey = (hostId, requestId) => `${hostId}:${String(requestId)}`;
+
+function rememberTitle(threadId, title) {
+  if (typeof threadId !== "string" || typeof title !== "string" || !title.trim()) return;
+  state.titles.delete(threadId);
+  state.titles.set(threadId, title.trim());
+  if (state.titles.size > KNOWN_TITLES_LIMIT) state.titles.delete(state.titles.keys().next().value);
+}
+
+function forgetHost(hostId) {
+  for (const [id, turn] of state.running) if (turn.hostId === hostId) state.running.delete(id);
+  for (const [key, approval] of state.approvals) if (approval.hostId === hostId) state.approvals.delete(key);
+}
+
+function handleServerMessage(connection, message) {
+  if (!message || typeof message !== "object") return false;
+  const hostId = hostOf(connection);
+
+  // The first message of a (re)started app-server: nothing of the old one runs any more
+  if (connection && connection.initialized === false) {
+    forgetHost(hostId);
+    return true;
+  }
+  if (typeof message.method !== "string") return false;
+  const params = message.params || {};
+
+  if ("id" in message) {
+    if (!APPROVAL_METHOD.test(message.method)) return false;
+    state.approvals.set(approvalKey(hostId, message.id), {
+      hostId,
+      threadId: params.threadId ?? params.conversationId ?? null,
+    });
+    return true;
+  }
+
+  switch (message.method) {
+    case "thread/started":
+      rememberTitle(params.thread?.id, params.thread?.name ?? params.thread?.preview);
+      return false;
+    case "thread/name/updated":
+      rememberTitle(params.threadId, params.threadName ?? params.name);
+      return state.running.has(params.threadId);
+    case "turn/started":
+      if (typeof params.threadId !== "string" || connection?.ephemeralThreadIds?.has(params.threadId)) return false;
+      state.running.set(params.threadId, { hostId, threadId: params.threadId, startedAt: Date.now() });
+      return true;
+    case "turn/completed":
+      for (const [key, approval] of state.approvals) {
+        if (approval.hostId === hostId && approval.threadId === params.threadId) state.approvals.delete(key);
+      }
+      return state.running.delete(params.threadId);
+    case "serverRequest/resolved":
+      return state.approvals.delete(approvalKey(hostId, params.requestId));
+    default:
+      return false;
+  }
+}
+
+function onServerMessage(connection, message) {
+  try {
+    if (handleServerMessage(connection, message)) scheduleRender();
+  } catch (err) {
+    report(err);
+  }
+}
+
+function onClientResponse(connection, response) {
+  try {
+    if (response && state.approvals.delete(approvalKey(hostOf(connection), response.id))) scheduleRender();
+  } catch (err) {
+    report(err);
+  }
+}
+
+function setBadgeCount(count) {
+  const next = Number.isFinite(count) && count > 0 ? Math.floor(count) : 0;
+  if (next === state.badge) return;
+  state.badge = next;
+  scheduleRender();
+}
+
+// ──────────────────────────────────────────────
+//  Automations
+// ──────────────────────────────────────────────
+
+function statePath() {
+  return path.join(app.getPath("userData"), STATE_FILENAME);
+}
+
+function automationsPaused() {
+  if (state.automationsPaused === null) {
+    try {
+      state.automationsPaused = JSON.parse(fs.readFileSync(statePath(), "utf8")).automationsPaused === true;
+    } catch {
+      state.automationsPaused = false;
+    }
+  }
+  return state.automationsPaused;
+}
+
+function setAutomationsPaused(paused) {
+  state.automationsPaused = paused;
+  try {
+    fs.writeFileSync(statePath(), JSON.stringify({ automationsPaused: paused }, null, 2) + "\n");
+  } catch (err) {
+    console.warn(LOG_PREFIX, `cannot save ${STATE_FILENAME}: ${err.message}`);
+  }
+  console.info(LOG_PREFIX, paused ? "automations paused" : "automations resumed");
+  scheduleRender();
+}
+
+// ──────────────────────────────────────────────
+//  Icon
+// ──────────────────────────────────────────────
+
+function loadBaseIcon() {
+  const candidates = [
+    process.env.CODEX_TRAY_ICON,
+    process.resourcesPath && path.join(process.resourcesPath, TRAY_ICON_FILENAME),
+    path.join(app.getAppPath(), "resources", "electron.png"),
+  ];
+  for (const file of candidates) {
+    if (!file || !fs.existsSync(file)) continue;
+    const image = nativeImage.createFromPath(file);
+    if (!image.isEmpty()) return image.resize({ width: ICON_SIZE, height: ICON_SIZE, quality: "best" });
+  }
+  console.warn(LOG_PREFIX, "no tray icon found, set CODEX_TRAY_ICON");
+  return nativeImage.createEmpty();
+}
+
+/** The icon with a dot in the bottom-right corner, cut out of the icon by a transparent ring */
+function withDot(image, [r, g, b]) {
+  const { width, height } = image.getSize();
+  if (!width || !height) return image;
+  const bitmap = Buffer.from(image.toBitmap()); // BGRA
+  const radius = Math.max(2, Math.round(width * 0.2));
+  const cx = width - radius;
+  const cy = height - radius;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const distance = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+      if (distance > radius + 1) continue;
+      const i = (y * width + x) * 4;
+      if (distance <= radius) bitmap.set([b, g, r, 255], i);
+      else bitmap.fill(0, i, i + 4);
+    }
+  }
+  return nativeImage.createFromBitmap(bitmap, { width, height });
+}
+
+function iconFor(status) {
+  if (!state.images.has(status)) {
+    const base = state.images.get(null) || loadBaseIcon();
+    state.images.set(null, base);
+    if (status) state.images.set(status, withDot(base, DOT_COLORS[status]));
+  }
+  return state.images.get(status);
+}
+
+// ──────────────────────────────────────────────
+//  Tray menu
+// ──────────────────────────────────────────────
+
+function summarize() {
+  const waiting = new Set([...state.approvals.values()].map((a) => a.threadId));
+  const running = state.running.size;
+  const approvals = state.approvals.size;
+  const status = approvals ? "approval" : state.badge ? "unread" : running ? "running" : null;
+  const parts = [
+    running && `${running} running`,
+    approvals && `${approvals} awaiting approval`,
+    state.badge && `${state.badge} unread`,
+  ].filter(Boolean);
+  return { status, waiting, text: parts.length ? parts.join(" · ") : "Nothing running" };
+}
+
+function threadLabel(threadId, needsApproval) {
+  const title = state.titles.get(threadId) || `Thread ${threadId.slice(0, 8)}`;
+  const short = title.length > TITLE_LIMIT ? `${title.slice(0, TITLE_LIMIT - 1)}…` : title;
+  return needsApproval ? `${short} — needs approval` : short;
+}
+
+async function hostWindow(hostId) {
+  const { ensurePrimaryWindowVisible, selectHost } = state.host;
+  return hostId === LOCAL_HOST_ID ? ensurePrimaryWindowVisible() : selectHost(hostId);
+}
+
+function run(action) {
+  Promise.resolve()
+    .then(action)
+    .catch((err) => console.error(LOG_PREFIX, err));
+}
+
+function showApp() {
+  run(() => state.host.ensurePrimaryWindowVisible());
+}
+
+function openRoute(hostId, route) {
+  run(async () => {
+    const win = await hostWindow(hostId);
+    if (win) state.host.navigateToRoute(win, route);
+  });
+}
+
+function buildMenu(summary) {
+  const name = app.getName();
+  const threads = [...state.running.values()]
+    .sort((a, b) => Number(summary.waiting.has(b.threadId)) - Number(summary.waiting.has(a.threadId)) || b.startedAt - a.startedAt)
+    .slice(0, MENU_THREAD_LIMIT);
+  const waitingOnly = [...state.approvals.values()].filter((a) => a.threadId && !state.running.has(a.threadId));
+
+  return Menu.buildFromTemplate([
+    { label: summary.text, enabled: false },
+    { type: "separator" },
+    { label: `Show ${name}`, click: showApp },
+    ...(threads.length || waitingOnly.length ? [{ type: "separator" }] : []),
+    ...threads.map((t) => ({
+      label: threadLabel(t.threadId, summary.waiting.has(t.threadId)),
+      click: () => openRoute(t.hostId, `/local/${t.threadId}`),
+    })),
+    ...waitingOnly.map((a) => ({
+      label: threadLabel(a.threadId, true),
+      click: () => openRoute(a.hostId, `/local/${a.threadId}`),
+    })),
+    { type: "separator" },
+    {
+      label: state.badge ? `Inbox (${state.badge} unread)` : "Inbox",
+      click: () => openRoute(LOCAL_HOST_ID, INBOX_ROUTE),
+    },
+    {
+      label: "Pause Automations",
+      type: "checkbox",
+      checked: automationsPaused(),
+      click: (item) => setAutomationsPaused(item.checked),
+    },
+    { type: "separator" },
+    { label: `Quit ${name}`, click: () => app.quit() },
+  ]);
+}
+
+function render() {
+  state.renderTimer = null;
+  if (!state.tray || state.tray.isDestroyed()) return;
+  const summary = summarize();
+  const name = app.getName();
+  state.tray.setImage(iconFor(summary.status));
+  state.tray.setToolTip(automationsPaused() ? `${name} — ${summary.text} · automations paused` : `${name} — ${summary.text}`);
+  if (process.platform === "darwin") {
+    const count = state.approvals.size + state.badge;
+    state.tray.setTitle(count ? String(count) : "");
+  }
+  state.tray.setContextMenu(buildMenu(summary));
+}
+
+function scheduleRender() {
+  if (!state.tray || state.renderTimer) return;
+  state.renderTimer = setTimeout(() => {
+    try {
+      render();
+    } catch (err) {
+      report(err);
+    }
+  }, RENDER_DEBOUNCE_MS);
+}
+
+function createTray() {
+  if (state.tray || !state.host) return;
+  try {
+    state.tray = new Tray(iconFor(null));
+  } catch (err) {
+    console.warn(LOG_PREFIX, `tray unavailable: ${err.message}`);
+    return;
+  }
+  // Linux shows the context menu on click; Windows needs a click handler
+  if (process.platform === "win32") state.tray.on("click", showApp);
+  render();
+}
+
+/** Called at the end of every application menu build */
+function attachMenuHost(options) {
+  const first = !state.host;
+  state.host = options;
+  if (first && trayEnabled()) app.whenReady().then(createTray);
+}
+
+/** window-all-closed: stay in the tray instead of quitting */
+function keepRunning() {
+  return Boolean(state.tray && !state.tray.isDestroyed());
+}
+
+module.exports = {
+  onServerMessage,
+  onClientResponse,
+  setBadgeCount,
+  attachMenuHost,
+  automationsPaused,
+  keepRunning,
+};
@@ -0,0 +1,502 @@
+/**
+ * Update manager for Linux / Windows builds
+ *
+ * The bundle's Sparkle manager only works on macOS. patch-update-manager.js
+ * copies this file to src/.vite/build/update-manager.js and hooks it into that
+ * class, so `install-app-update`, the "Check for Updates…" menu item and the
+ * `app-update-ready-changed` message work on the other platforms too.
+ *
+ * It reads a static release feed, downloads the artifact that matches this
+ * install (deb, rpm, AppImage or zip), verifies its SHA-256, stages it under
+ * <userData>/updates and installs it on request. Flatpak installs are left to
+ * `flatpak update`.
+ *
+ * Feed location (first one set wins):
+ *   CODEX_UPDATE_FEED        env var
+ *   "codexUpdateFeed"        field in package.json
+ *
+ * The feed is an https URL, a file:// URL or a local path; plain http is
+ * refused, since the checksums come from the manifest itself. A directory, or
+ * a URL that does not end in .json, means <feed>/latest.json. Manifest shape:
+ *
+ *   {
+ *     "version": "1.0.5",
+ *     "notes": "optional release notes",
+ *     "artifacts": [
+ *       { "platform": "linux", "arch": "x64", "type": "deb",
+ *         "url": "codex_1.0.5_amd64.deb", "sha256": "<hex>" }
+ *     ]
+ *   }
+ *
+ * Artifact URLs may be relative to the manifest. CODEX_UPDATE_ARTIFACT=deb|rpm|appimage|zip
+ * forces the artifact type.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { spawn, spawnSync } = require("child_process");
+const { pathToFileURL, fileURLToPath } = require("url");
+const { app, dialog } = require("electron");
+
+const LOG_PREFIX = "[update-manager]";
+const FIRST_CHECK_DELAY_MS = 30 * 1000;
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const MAX_REDIRECTS = 5;
+const ARTIFACT_TYPES = ["deb", "rpm", "appimage", "zip"];
+// The feed's version names a directory under <userData>/updates, so nothing but semver gets through
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+// ──────────────────────────────────────────────
+//  Feed
+// ──────────────────────────────────────────────
+
+function readPackageField(name) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(app.getAppPath(), "package.json"), "utf8"));
+    return typeof pkg[name] === "string" ? pkg[name].trim() : "";
+  } catch {
+    return "";
+  }
+}
+
+function resolveFeed() {
+  return (process.env.CODEX_UPDATE_FEED || "").trim() || readPackageField("codexUpdateFeed") || null;
+}
+
+/** Feed string → URL of the manifest itself */
+function manifestUrl(feed) {
+  let url;
+  if (/^http:\/\//i.test(feed)) {
+    throw new Error(`update feed must use https: ${feed}`);
+  } else if (/^(https|file):\/\//i.test(feed)) {
+    url = new URL(feed);
+  } else {
+    const abs = path.resolve(feed);
+    const isDir = fs.existsSync(abs) && fs.statSync(abs).isDirectory();
+    url = pathToFileURL(isDir ? abs + path.sep : abs);
+  }
+  if (!url.pathname.endsWith(".json")) {
+    if (!url.pathname.endsWith("/")) url.pathname += "/";
+    url = new URL("latest.json", url);
+  }
+  return url;
+}
+
+/** Resolve to the response stream of a GET, following redirects (https only, file:// only as given) */
+function openStream(url, redirects = 0) {
+  if (url.protocol === "file:" && redirects === 0) {
+    return Promise.resolve(fs.createReadStream(fileURLToPath(url)));
+  }
+  if (url.protocol !== "https:") {
+    return Promise.reject(new Error(`refusing ${url.protocol} download: ${url}`));
+  }
+  return new Promise((resolve, reject) => {
+    const req = require("https").get(url, { headers: { "user-agent": `Codex/${app.getVersion()}` } }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) return reject(new Error(`too many redirects: ${url}`));
+        return resolve(openStream(new URL(res.headers.location, url), redirects + 1));
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+      }
+      resolve(res);
+    });
+    req.on("error", reject);
+  });
+}
+
+async function fetchJson(url) {
+  const stream = await openStream(url);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (err) {
+    throw new Error(`invalid feed manifest ${url}: ${err.message}`);
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Artifact selection
+// ──────────────────────────────────────────────
+
+/** "v1.2.0-beta.1+build.5" → { core: [1, 2, 0], pre: ["beta", 1] } (build metadata is ignored) */
+function parseVersion(version) {
+  const [main] = String(version).trim().replace(/^v/, "").split("+");
+  const dash = main.indexOf("-");
+  const core = (dash < 0 ? main : main.slice(0, dash)).split(".").map((n) => parseInt(n, 10) || 0);
+  const pre = dash < 0 ? [] : main.slice(dash + 1).split(".").map((id) => (/^\d+$/.test(id) ? Number(id) : id));
+  return { core, pre };
+}
+
+/** Semver precedence: a release ranks above its prereleases, whose identifiers compare one by one */
+function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  for (let i = 0; i < Math.max(va.core.length, vb.core.length); i++) {
+    const d = (va.core[i] || 0) - (vb.core[i] || 0);
+    if (d !== 0) return d;
+  }
+  if (!va.pre.length || !vb.pre.length) return vb.pre.length - va.pre.length;
+  for (let i = 0; i < Math.max(va.pre.length, vb.pre.length); i++) {
+    const x = va.pre[i];
+    const y = vb.pre[i];
+    if (x === undefined || y === undefined) return x === undefined ? -1 : 1;
+    if (x === y) continue;
+    // Numeric identifiers sort before alphanumeric ones
+    if (typeof x !== typeof y) return typeof x === "number" ? -1 : 1;
+    return typeof x === "number" ? x - y : x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+function hasCommand(cmd) {
+  return spawnSync("sh", ["-c", `command -v ${cmd}`], { stdio: "ignore" }).status === 0;
+}
+
+/** Artifact types this install can take, most preferred first */
+function preferredTypes() {
+  const forced = (process.env.CODEX_UPDATE_ARTIFACT || "").trim();
+  if (ARTIFACT_TYPES.includes(forced)) return [forced];
+  if (process.platform !== "linux") return ["zip"];
+  if (process.env.APPIMAGE) return ["appimage"];
+
+  // Installed by a package manager (/usr/lib/codex, /opt/…) → same format again;
+  // anything else (an unpacked zip in the user's home) → zip
+  const managed = /^\/(usr|opt)\//.test(process.execPath);
+  if (!managed) return ["zip"];
+  if (hasCommand("dpkg")) return ["deb", "zip"];
+  if (hasCommand("rpm")) return ["rpm", "zip"];
+  return ["zip"];
+}
+
+function pickArtifact(manifest) {
+  const candidates = (manifest.artifacts || []).filter(
+    (a) => a.platform === process.platform && a.arch === process.arch && a.url && a.sha256
+  );
+  for (const type of preferredTypes()) {
+    const artifact = candidates.find((a) => a.type === type);
+    if (artifact) return artifact;
+  }
+  return null;
+}
+
+// ──────────────────────────────────────────────
+//  Download + verify
+// ──────────────────────────────────────────────
+
+async function sha256File(file) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest("hex");
+}
+
+async function download(url, dest, expectedSha256) {
+  const partial = dest + ".partial";
+  const hash = crypto.createHash("sha256");
+  const stream = await openStream(url);
+  const out = fs.createWriteStream(partial);
+  try {
+    for await (const chunk of stream) {
+      hash.update(chunk);
+      if (!out.write(chunk)) await new Promise((r) => out.once("drain", r));
+    }
+    await new Promise((r) => out.end(r));
+    const actual = hash.digest("hex");
+    if (actual !== expectedSha256.toLowerCase()) {
+      throw new Error(`SHA-256 mismatch for ${url}: expected ${expectedSha256}, got ${actual}`);
+    }
+  } catch (err) {
+    out.destroy();
+    fs.rmSync(partial, { force: true });
+    throw err;
+  }
+  fs.renameSync(partial, dest);
+}
+
+// ──────────────────────────────────────────────
+//  Install
+// ──────────────────────────────────────────────
+
+/** Run a command without blocking the main process; resolves when it exits with 0 */
+function run(cmd, args, label = [cmd, ...args].join(" ")) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, args, { stdio: ["ignore", "ignore", "pipe"], windowsHide: true });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk).slice(-4096);
+    });
+    child.on("error", (err) => reject(new Error(`${label} failed: ${err.message}`)));
+    child.on("close", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`${label} failed: ${stderr.trim() || `exit code ${code}`}`));
+    });
+  });
+}
+
+function runPrivileged(args) {
+  const cmd = process.getuid && process.getuid() === 0 ? args : ["pkexec", ...args];
+  return run(cmd[0], cmd.slice(1), args.join(" "));
+}
+
+function installPackage(type, file) {
+  if (type === "deb") {
+    return runPrivileged(hasCommand("apt-get") ? ["apt-get", "install", "-y", file] : ["dpkg", "-i", file]);
+  }
+  return runPrivileged(hasCommand("dnf") ? ["dnf", "install", "-y", file] : ["rpm", "-U", "--replacepkgs", file]);
+}
+
+/** Replace the running AppImage file in place; the old inode stays valid until exit */
+function replaceAppImage(file) {
+  const target = process.env.APPIMAGE;
+  const tmp = `${target}.update`;
+  fs.copyFileSync(file, tmp);
+  fs.chmodSync(tmp, 0o755);
+  fs.renameSync(tmp, target);
+  return target;
+}
+
+/** A PowerShell single-quoted string literal (the typographic single quotes close one too) */
+function psQuote(value) {
+  return `'${String(value).replace(/['\u2018\u2019\u201a\u201b]/g, (q) => q + q)}'`;
+}
+
+async function extractZip(file, destDir) {
+  fs.rmSync(destDir, { recursive: true, force: true });
+  fs.mkdirSync(destDir, { recursive: true });
+  const label = `extracting ${file}`;
+  if (process.platform === "win32") {
+    const command = `Expand-Archive -Force -LiteralPath ${psQuote(file)} -DestinationPath ${psQuote(destDir)}`;
+    await run("powershell.exe", ["-NoProfile", "-Command", command], label);
+  } else {
+    await run("unzip", ["-q", "-o", file, "-d", destDir], label);
+  }
+
+  // electron-forge zips wrap the app in a single "Codex-<platform>-<arch>" folder
+  const entries = fs.readdirSync(destDir);
+  return entries.length === 1 && fs.statSync(path.join(destDir, entries[0])).isDirectory()
+    ? path.join(destDir, entries[0])
+    : destDir;
+}
+
+/** Swap the install directory for the extracted one after this process exits, then relaunch */
+function scheduleDirectorySwap(newDir) {
+  const installDir = path.dirname(process.execPath);
+  const exe = path.join(installDir, path.basename(process.execPath));
+
+  if (process.platform === "win32") {
+    const script = [
+      `Wait-Process -Id ${process.pid} -ErrorAction SilentlyContinue`,
+      `Remove-Item -LiteralPath ${psQuote(`${installDir}.old`)} -Recurse -Force -ErrorAction SilentlyContinue`,
+      `Rename-Item -LiteralPath ${psQuote(installDir)} -NewName ${psQuote(`${path.basename(installDir)}.old`)}`,
+      `Move-Item -LiteralPath ${psQuote(newDir)} -Destination ${psQuote(installDir)}`,
+      `Remove-Item -LiteralPath ${psQuote(`${installDir}.old`)} -Recurse -Force -ErrorAction SilentlyContinue`,
+      `Start-Process -FilePath ${psQuote(exe)}`,
+    ].join("; ");
+    spawn("powershell.exe", ["-NoProfile", "-WindowStyle", "Hidden", "-Command", script], {
+      detached: true,
+      stdio: "ignore",
+    }).unref();
+    return;
+  }
+
+  const script = [
+    `while kill -0 ${process.pid} 2>/dev/null; do sleep 0.5; done`,
+    `rm -rf "$1.old"`,
+    `mv "$1" "$1.old" && mv "$2" "$1" && rm -rf "$1.old"`,
+    `"$3" >/dev/null 2>&1 &`,
+  ].join("\n");
+  spawn("sh", ["-c", script, "sh", installDir, newDir, exe], { detached: true, stdio: "ignore" }).unref();
+}
+
+// ──────────────────────────────────────────────
+//  Manager
+// ──────────────────────────────────────────────
+
+/**
+ * @param {{ onUpdateReadyChanged?(ready: boolean): void, onInstallUpdatesRequested?(): void }} options
+ */
+function createUpdateManager(options = {}) {
+  const feed = resolveFeed();
+  const stagingDir = path.join(app.getPath("userData"), "updates");
+  let staged = null; // { version, type, file, notes }
+  let checking = null;
+  let timer = null;
+  let lastError = null;
+  let installing = false;
+
+  const setStaged = (next) => {
+    const wasReady = staged !== null;
+    staged = next;
+    if (wasReady !== (staged !== null)) options.onUpdateReadyChanged?.(staged !== null);
+  };
+
+  async function check() {
+    const url = manifestUrl(feed);
+    const manifest = await fetchJson(url);
+    if (typeof manifest.version !== "string" || !SEMVER.test(manifest.version)) {
+      throw new Error(`invalid version in feed manifest ${url}: ${JSON.stringify(manifest.version)}`);
+    }
+    if (compareVersions(manifest.version, app.getVersion()) <= 0) {
+      console.info(LOG_PREFIX, `up to date (${app.getVersion()}, feed has ${manifest.version})`);
+      return null;
+    }
+    if (staged && staged.version === manifest.version) return staged;
+
+    const artifact = pickArtifact(manifest);
+    if (!artifact) {
+      console.warn(LOG_PREFIX, `${manifest.version} has no artifact for ${process.platform}/${process.arch} (${preferredTypes().join(", ")})`);
+      return null;
+    }
+
+    const versionDir = path.join(stagingDir, manifest.version);
+    const file = path.join(versionDir, path.basename(new URL(artifact.url, url).pathname));
+    fs.mkdirSync(versionDir, { recursive: true });
+    if (!fs.existsSync(file) || (await sha256File(file)) !== artifact.sha256.toLowerCase()) {
+      console.info(LOG_PREFIX, `downloading ${manifest.version} (${artifact.type})`);
+      await download(new URL(artifact.url, url), file, artifact.sha256);
+    }
+
+    // Keep only the version we just staged
+    for (const entry of fs.readdirSync(stagingDir)) {
+      if (entry !== manifest.version) fs.rmSync(path.join(stagingDir, entry), { recursive: true, force: true });
+    }
+
+    console.info(LOG_PREFIX, `staged ${manifest.version}: ${file}`);
+    setStaged({ version: manifest.version, type: artifact.type, file, notes: manifest.notes || null });
+    return staged;
+  }
+
+  /** Run a check unless one is already in flight; never rejects */
+  function checkOnce() {
+    if (!feed) return Promise.resolve(null);
+    if (!checking) {
+      checking = check()
+        .then((result) => {
+          lastError = null;
+          return result;
+        })
+        .catch((err) => {
+          lastError = err;
+          console.error(LOG_PREFIX, "update check failed:", err.message);
+          return null;
+        })
+        .finally(() => {
+          checking = null;
+        });
+    }
+    return checking;
+  }
+
+  return {
+    start() {
+      if (process.env.FLATPAK_ID) {
+        console.info(LOG_PREFIX, "running under Flatpak; updates come from `flatpak update`");
+        return;
+      }
+      if (!feed) {
+        console.info(LOG_PREFIX, "no update feed configured (CODEX_UPDATE_FEED / codexUpdateFeed); auto-update disabled");
+        return;
+      }
+      try {
+        console.info(LOG_PREFIX, `using feed ${manifestUrl(feed)}`);
+      } catch (err) {
+        console.error(LOG_PREFIX, `${err.message}; auto-update disabled`);
+        return;
+      }
+      setTimeout(checkOnce, FIRST_CHECK_DELAY_MS).unref();
+      timer = setInterval(checkOnce, CHECK_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    isUpdateReady: () => staged !== null,
+
+    getStatus: () => ({ feed, staged, lastError: lastError ? lastError.message : null }),
+
+    checkNow: checkOnce,
+
+    /** Menu "Check for Updates…": check and tell the user the outcome */
+    async checkForUpdates() {
+      if (!feed) {
+        dialog.showMessageBox({
+          type: "info",
+          title: "Updates Unavailable",
+          message: "Automatic updates are unavailable right now.",
+          detail: "No update feed configured (set CODEX_UPDATE_FEED or codexUpdateFeed in package.json).",
+        });
+        return;
+      }
+      const result = await checkOnce();
+      if (result) {
+        const { response } = await dialog.showMessageBox({
+          type: "info",
+          title: "Update Ready",
+          message: `Codex ${result.version} is ready to install.`,
+          detail: result.notes || undefined,
+          buttons: ["Install and Restart", "Later"],
+          defaultId: 0,
+          cancelId: 1,
+        });
+        if (response === 0) this.install();
+        return;
+      }
+      dialog.showMessageBox({
+        type: lastError ? "error" : "info",
+        title: lastError ? "Update Check Failed" : "No Updates",
+        message: lastError ? "Could not check for updates." : `Codex ${app.getVersion()} is up to date.`,
+        detail: lastError ? lastError.message : undefined,
+      });
+    },
+
+    /** Handler for `install-app-update`; never rejects */
+    async install() {
+      if (!staged) {
+        console.warn(LOG_PREFIX, "install requested but no update is staged; checking now");
+        checkOnce();
+        return;
+      }
+      if (installing) {
+        console.info(LOG_PREFIX, "install already in progress");
+        return;
+      }
+      installing = true;
+      const { type, file, version } = staged;
+      try {
+        if (!fs.existsSync(file)) throw new Error(`staged file disappeared: ${file}`);
+        console.info(LOG_PREFIX, `installing ${version} (${type})`);
+        if (type === "appimage") {
+          const execPath = replaceAppImage(file);
+          options.onInstallUpdatesRequested?.();
+          app.relaunch({ execPath });
+          app.quit();
+          return;
+        }
+        if (type === "zip") {
+          scheduleDirectorySwap(await extractZip(file, path.join(stagingDir, version, "app")));
+          options.onInstallUpdatesRequested?.();
+          app.quit();
+          return;
+        }
+        await installPackage(type, file);
+        options.onInstallUpdatesRequested?.();
+        app.relaunch();
+        app.quit();
+      } catch (err) {
+        console.error(LOG_PREFIX, "install failed:", err.message);
+        setStaged(null);
+        dialog.showErrorBox("Update Failed", err.message);
+      } finally {
+        installing = false;
+      }
+    },
+  };
+}
+
+module.exports = { createUpdateManager, manifestUrl, compareVersions, pickArtifact };
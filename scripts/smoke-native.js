@@ -0,0 +1,213 @@
+/**
+ * Smoke-test native modules in a packaged build
+ *
+ * rebuild-native.js compiles better-sqlite3 / node-pty for Electron, and
+ * packageAfterPrune then deletes most of node_modules. This launches the
+ * packaged app's own Electron binary with scripts/runtime/native-smoke-entry.js
+ * to prove the result still loads: an in-memory SQLite database, a node-pty
+ * shell, and every external the main bundle requires. No display is needed.
+ *
+ * Modes:
+ *   browser   (Linux default) a real Electron main process with --headless.
+ *             The packaged executable only ever loads resources/app(.asar)
+ *             next to it, so it is run from a shadow directory
+ *             (out/native-smoke/shadow-<arch>/) that links every packaged
+ *             file but swaps in a resources/app/ holding the test entry. The
+ *             packaged app.asar itself is loaded by absolute path.
+ *   node      ELECTRON_RUN_AS_NODE=1 (needs the RunAsNode fuse, enabled in
+ *             forge.config.js); used on macOS / Windows.
+ *
+ * Usage:
+ *   node scripts/smoke-native.js                        # out/<branding name>-<platform>-<arch>
+ *   node scripts/smoke-native.js --app out/Codex-linux-x64
+ *   node scripts/smoke-native.js --mode node --json
+ *   node scripts/smoke-native.js --report <path>        # default: out/native-smoke/report-<platform>-<arch>.json
+ */
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { spawnSync } = require("child_process");
+const { loadBranding } = require("./lib/branding");
+
+const ROOT = path.join(__dirname, "..");
+const OUT_DIR = path.join(ROOT, "out", "native-smoke");
+const ENTRY = path.join(__dirname, "runtime", "native-smoke-entry.js");
+const RUN_TIMEOUT_MS = 120000;
+
+function getArgValue(argv, flag) {
+  const idx = argv.indexOf(flag);
+  return idx !== -1 && idx + 1 < argv.length ? argv[idx + 1] : null;
+}
+
+// ──────────────────────────────────────────────
+//  Packaged layout
+// ──────────────────────────────────────────────
+
+/** Executable and resources dir of an electron-packager output directory */
+function packagedLayout(appDir, platform, { name, executable }) {
+  if (platform === "darwin") {
+    const bundle = path.join(appDir, `${name}.app`);
+    return {
+      executable: path.join(bundle, "Contents", "MacOS", executable),
+      resources: path.join(bundle, "Contents", "Resources"),
+    };
+  }
+  return {
+    executable: path.join(appDir, platform === "win32" ? `${executable}.exe` : executable),
+    resources: path.join(appDir, "resources"),
+  };
+}
+
+/** Packaged app inside resources: app.asar, or app/ when asar is disabled */
+function packagedApp(resources) {
+  for (const name of ["app.asar", "app"]) {
+    const candidate = path.join(resources, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Mirror the packaged directory with links, replacing resources/app.asar by
+ * a resources/app/ that runs the smoke entry. The executable is hard-linked
+ * (copied across filesystems) because Electron resolves resources relative
+ * to the real executable path.
+ */
+function buildShadow(appDir, resources, shadowDir, executable) {
+  fs.rmSync(shadowDir, { recursive: true, force: true });
+  fs.mkdirSync(shadowDir, { recursive: true });
+
+  for (const entry of fs.readdirSync(appDir)) {
+    const src = path.join(appDir, entry);
+    const dest = path.join(shadowDir, entry);
+    if (src === resources) continue;
+    if (entry === executable) {
+      try {
+        fs.linkSync(src, dest);
+      } catch {
+        fs.copyFileSync(src, dest);
+        fs.chmodSync(dest, 0o755);
+      }
+    } else {
+      fs.symlinkSync(src, dest);
+    }
+  }
+
+  const shadowResources = path.join(shadowDir, "resources");
+  fs.mkdirSync(shadowResources);
+  for (const entry of fs.readdirSync(resources)) {
+    if (entry === "app.asar" || entry === "app" || entry === "app.asar.unpacked") continue;
+    fs.symlinkSync(path.join(resources, entry), path.join(shadowResources, entry));
+  }
+
+  const appShadow = path.join(shadowResources, "app");
+  fs.mkdirSync(appShadow);
+  fs.writeFileSync(
+    path.join(appShadow, "package.json"),
+    JSON.stringify({ name: "codex-native-smoke", version: "0.0.0", main: "entry.js" }, null, 2) + "\n"
+  );
+  fs.copyFileSync(ENTRY, path.join(appShadow, "entry.js"));
+
+  return path.join(shadowDir, executable);
+}
+
+// ──────────────────────────────────────────────
+//  Run
+// ──────────────────────────────────────────────
+
+function runSmoke({ appDir, platform, arch, mode, quiet, branding }) {
+  const { executable, resources } = packagedLayout(appDir, platform, branding);
+  if (!fs.existsSync(executable)) {
+    throw new Error(`packaged executable not found: ${path.relative(ROOT, executable)} (run \`npm run forge:package\` first)`);
+  }
+  const app = packagedApp(resources);
+  if (!app) throw new Error(`no app.asar or app/ in ${path.relative(ROOT, resources)}`);
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  const rawReport = path.join(OUT_DIR, `entry-${platform}-${arch}.json`);
+  fs.rmSync(rawReport, { force: true });
+  const userData = fs.mkdtempSync(path.join(os.tmpdir(), "codex-native-smoke-"));
+
+  const env = { ...process.env, CODEX_SMOKE_APP: app, CODEX_SMOKE_REPORT: rawReport };
+  let command;
+  let args;
+  if (mode === "browser") {
+    command = buildShadow(appDir, resources, path.join(OUT_DIR, `shadow-${arch}`), branding.executable);
+    args = ["--headless", "--no-sandbox", "--disable-gpu", `--user-data-dir=${userData}`];
+  } else {
+    command = executable;
+    args = [ENTRY];
+    env.ELECTRON_RUN_AS_NODE = "1";
+  }
+
+  if (!quiet) console.log(`🔥 ${path.relative(ROOT, command)} ${args.join(" ")}  [${mode}]`);
+  const result = spawnSync(command, args, { env, encoding: "utf-8", timeout: RUN_TIMEOUT_MS });
+  fs.rmSync(userData, { recursive: true, force: true });
+
+  if (!fs.existsSync(rawReport)) {
+    const reason = result.error
+      ? result.error.message
+      : `exited with ${result.status ?? result.signal} before writing a report`;
+    const stderr = (result.stderr || "").trim().split("\n").slice(-10).join("\n");
+    throw new Error(`smoke entry ${reason}${stderr ? `\n${stderr}` : ""}`);
+  }
+  return JSON.parse(fs.readFileSync(rawReport, "utf-8"));
+}
+
+function printReport(report) {
+  if (report.error) {
+    console.log(`❌ ${report.error}`);
+    return;
+  }
+  console.log(`   Electron ${report.electron} (ABI ${report.modules}), ${report.platform}/${report.arch}, ${report.mode} mode\n`);
+  for (const p of report.packages) {
+    const icon = p.status === "pass" ? "✅" : "❌";
+    const version = p.version ? `@${p.version}` : "";
+    const requiredBy = p.requiredBy.length ? `  ← ${p.requiredBy.join(", ")}` : "";
+    console.log(`   ${icon} ${p.name}${version}: ${p.message}${requiredBy}`);
+  }
+  const failed = report.packages.filter((p) => p.status !== "pass").length;
+  console.log(
+    failed
+      ? `\n❌ ${failed}/${report.packages.length} packages failed`
+      : `\n✅ All ${report.packages.length} packages passed`
+  );
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const platform = process.platform;
+  const arch = getArgValue(argv, "--arch") || os.arch();
+  const mode = getArgValue(argv, "--mode") || (platform === "linux" ? "browser" : "node");
+  const branding = loadBranding();
+  const appDir = path.resolve(getArgValue(argv, "--app") || path.join(ROOT, "out", `${branding.name}-${platform}-${arch}`));
+  const reportPath = getArgValue(argv, "--report") || path.join(OUT_DIR, `report-${platform}-${arch}.json`);
+
+  if (!["browser", "node"].includes(mode)) throw new Error(`unknown --mode "${mode}" (browser | node)`);
+  if (mode === "browser" && platform !== "linux") throw new Error("--mode browser is only supported on Linux");
+  if (arch !== process.arch) throw new Error(`cannot run a ${arch} build on a ${process.arch} host`);
+
+  let report;
+  try {
+    report = runSmoke({ appDir, platform, arch, mode, quiet: argv.includes("--json"), branding });
+  } catch (err) {
+    report = { ok: false, error: err.message, packages: [] };
+  }
+
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + "\n");
+
+  if (argv.includes("--json")) console.log(JSON.stringify(report, null, 2));
+  else {
+    printReport(report);
+    console.log(`📝 Report: ${path.relative(ROOT, reportPath)}`);
+  }
+  if (!report.ok) process.exitCode = 1;
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("❌", err.message);
+  process.exit(1);
+}
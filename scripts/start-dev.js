@@ -6,6 +6,18 @@
  * Resolution order:
  *   1) resources/bin/<platform-arch>/codex(.exe)
  *   2) node_modules/@cometix/codex/vendor/<target-triple>/codex/codex(.exe)
+ *
+ * The CLI is checked against codex-cli.json (see scripts/lib/codex-cli.js);
+ * a mismatch is reported as a warning only.
+ *
+ * With --watch (`npm run dev:watch`), src/webview, src/.vite/build and the
+ * patch sources are watched (see scripts/lib/dev-watch.js). The affected
+ * patches are re-applied on every change, then the renderer is reloaded, or
+ * Electron is restarted when the main bundle changed.
+ *
+ * Usage:
+ *   node scripts/start-dev.js [app args…]          # e.g. --safe-mode
+ *   node scripts/start-dev.js --watch [app args…]
  */
 
 const { spawn } = require('child_process');
@@ -13,47 +25,7 @@ const path = require('path');
 const os = require('os');
 const fs = require('fs');
 
-const TARGET_TRIPLE_MAP = {
-  'darwin-x64': 'x86_64-apple-darwin',
-  'darwin-arm64': 'aarch64-apple-darwin',
-  'linux-x64': 'x86_64-unknown-linux-musl',
-  'linux-arm64': 'aarch64-unknown-linux-musl',
-  'win32-x64': 'x86_64-pc-windows-msvc',
-};
-
-function resolveCodexCli(platform, arch) {
-  const platformArch = `${platform}-${arch}`;
-  const cliName = platform === 'win32' ? 'codex.exe' : 'codex';
-
-  const attempts = [];
-
-  const localPath = path.join(__dirname, '..', 'resources', 'bin', platformArch, cliName);
-  attempts.push(localPath);
-  if (fs.existsSync(localPath)) {
-    return { cliPath: localPath, source: 'resources/bin', attempts };
-  }
-
-  const targetTriple = TARGET_TRIPLE_MAP[platformArch];
-  if (targetTriple) {
-    const npmPath = path.join(
-      __dirname,
-      '..',
-      'node_modules',
-      '@cometix',
-      'codex',
-      'vendor',
-      targetTriple,
-      'codex',
-      cliName,
-    );
-    attempts.push(npmPath);
-    if (fs.existsSync(npmPath)) {
-      return { cliPath: npmPath, source: 'node_modules/@cometix/codex', attempts };
-    }
-  }
-
-  return { cliPath: null, source: null, attempts };
-}
+const { TARGET_TRIPLE_MAP, resolveCodexBinary, verifyCodexBinary, formatReport } = require('./lib/codex-cli');
 
 const platform = process.platform;
 const arch = os.arch();
@@ -63,8 +35,8 @@ if (!TARGET_TRIPLE_MAP[`${platform}-${arch}`]) {
   process.exit(1);
 }
 
-const resolved = resolveCodexCli(platform, arch);
-if (!resolved.cliPath) {
+const resolved = resolveCodexBinary(platform, arch);
+if (!resolved.path) {
   console.error(`CLI not found for ${platform}/${arch}`);
   console.error('Checked paths:');
   for (const attempted of resolved.attempts) {
@@ -76,21 +48,121 @@ if (!resolved.cliPath) {
 
 console.log(`[start-dev] Platform: ${platform}, Arch: ${arch}`);
 console.log(`[start-dev] CLI Source: ${resolved.source}`);
-console.log(`[start-dev] CLI Path: ${resolved.cliPath}`);
-
-const electronBin = require('electron');
-const child = spawn(electronBin, ['.'], {
-  cwd: path.join(__dirname, '..'),
-  stdio: 'inherit',
-  env: {
-    ...process.env,
-    CODEX_CLI_PATH: resolved.cliPath,
-    BUILD_FLAVOR: process.env.BUILD_FLAVOR || 'dev',
-    // Use app:// protocol to load bundled renderer assets (not Vite dev server)
-    ELECTRON_RENDERER_URL: process.env.ELECTRON_RENDERER_URL || 'app://-/index.html',
-  },
-});
-
-child.on('close', (code) => {
-  process.exit(code ?? 0);
-});
+console.log(`[start-dev] CLI Path: ${resolved.path}`);
+
+// Dev runs are not blocked by a mismatch (unlike packaging), but say so
+try {
+  const report = verifyCodexBinary({ platform, arch });
+  if (!report.ok) {
+    console.warn('[start-dev] ⚠️  CLI does not match codex-cli.json:');
+    console.warn(formatReport(report));
+  }
+} catch (err) {
+  console.warn(`[start-dev] ⚠️  CLI verification skipped: ${err.message}`);
+}
+
+const ROOT = path.join(__dirname, '..');
+const DEV_RELOAD = path.join(__dirname, 'runtime', 'dev-reload.js');
+const RESTART_TIMEOUT_MS = 5000;
+
+const watch = process.argv.includes('--watch');
+// Extra arguments go to the app, e.g. `npm run dev -- --safe-mode`
+const appArgs = process.argv.slice(2).filter((arg) => arg !== '--watch');
+
+function launch() {
+  const electronBin = require('electron');
+  return spawn(electronBin, ['.', ...appArgs], {
+    cwd: ROOT,
+    // In watch mode, reload commands are written to the app's stdin
+    stdio: watch ? ['pipe', 'inherit', 'inherit'] : 'inherit',
+    env: {
+      ...process.env,
+      CODEX_CLI_PATH: resolved.path,
+      BUILD_FLAVOR: process.env.BUILD_FLAVOR || 'dev',
+      // Use app:// protocol to load bundled renderer assets (not Vite dev server)
+      ELECTRON_RENDERER_URL: process.env.ELECTRON_RENDERER_URL || 'app://-/index.html',
+      ...(watch ? { CODEX_DEV_RELOAD: DEV_RELOAD } : {}),
+    },
+  });
+}
+
+// ──────────────────────────────────────────────
+//  Watch mode
+// ──────────────────────────────────────────────
+
+function printRound(round) {
+  const files = round.files.map((f) => path.relative(ROOT, f)).join(', ');
+  console.log(`\n[start-dev] 👀 Changed: ${files}`);
+  for (const error of round.errors) console.error(`[start-dev] ❌ ${error}`);
+  for (const report of round.reports) {
+    const applied = report.rules.filter((r) => r.status === 'applied').length;
+    const failed = report.rules.filter((r) => r.status === 'ambiguous' || r.status === 'error');
+    console.log(`[start-dev] ${failed.length ? '❌' : '🔧'} ${report.patch}: ${applied} rule(s) applied`);
+    for (const r of failed) console.error(`             [${r.rule}] ${r.status}: ${r.message || ''}`);
+  }
+}
+
+function watchMode() {
+  const { createDevWatcher } = require('./lib/dev-watch');
+  const { MARKER } = require('./runtime/dev-reload');
+
+  // Without the hook in main.js (patch-dev-reload.js), every change restarts Electron
+  const mainEntry = path.join(ROOT, 'src', '.vite', 'build', 'main.js');
+  const hooked = () => fs.readFileSync(mainEntry, 'utf-8').includes(MARKER);
+  if (!hooked()) {
+    console.warn('[start-dev] ⚠️  main.js has no dev-reload hook, renderer changes will restart Electron.');
+    console.warn('             Run `npm run patch` once to add it.');
+  }
+
+  let child = null;
+  let restarting = false;
+  let watcher = null;
+
+  function start() {
+    child = launch();
+    child.stdin.on('error', () => {}); // app gone mid-write; its exit is handled below
+    child.on('close', (code) => {
+      if (restarting) {
+        restarting = false;
+        start();
+        return;
+      }
+      watcher.close();
+      process.exit(code ?? 0);
+    });
+  }
+
+  function restart() {
+    if (restarting) return;
+    restarting = true;
+    const previous = child;
+    previous.kill('SIGTERM');
+    setTimeout(() => {
+      if (previous.exitCode === null && previous.signalCode === null) previous.kill('SIGKILL');
+    }, RESTART_TIMEOUT_MS).unref();
+  }
+
+  watcher = createDevWatcher({
+    onRound(round) {
+      printRound(round);
+      if (round.restart || (round.reload && !hooked())) {
+        console.log('[start-dev] ♻️  Restarting Electron');
+        restart();
+      } else if (round.reload) {
+        console.log('[start-dev] 🔄 Reloading renderer');
+        child.stdin.write('reload\n');
+      }
+    },
+  });
+  console.log('[start-dev] 👀 Watching src/webview, src/.vite/build and the patch scripts');
+  start();
+}
+
+if (watch) {
+  watchMode();
+} else {
+  const child = launch();
+  child.on('close', (code) => {
+    process.exit(code ?? 0);
+  });
+}
@@ -3,12 +3,16 @@
  *
  * Extracts the app.asar from a macOS DMG, pulls out the compiled main-process
  * bundle and webview UI assets, and copies them into the repo. After updating
- * it automatically re-runs all patch scripts so the new files are ready to
- * build.
+ * it automatically re-runs all patch scripts (scripts/patch.js) so the new
+ * files are ready to build — exiting non-zero if any patch no longer applies —
+ * and writes a release diff report (out/release-diff/release-diff.md
+ * and .json) listing the IPC messages, routes, migrations, … that the new
+ * bundle adds or removes.
  *
  * Requirements (already present in this project):
- *   • 7-Zip  – extracts the DMG          (must be in PATH or at default install path)
- *   • @electron/asar – reads the ASAR    (node_modules)
+ *   • scripts/lib/dmg – pure-JS UDIF / HFS+ reader, opens the DMG
+ *                       (zlib, bzip2 and LZFSE chunks; no 7-Zip needed)
+ *   • @electron/asar  – reads the ASAR    (node_modules)
  *
  * Usage:
  *   node scripts/update-from-dmg.js [path/to/Codex.dmg]
@@ -18,18 +22,23 @@
 const fs   = require("fs");
 const path = require("path");
 const os   = require("os");
-const { execFileSync, spawnSync } = require("child_process");
+const { spawnSync } = require("child_process");
+const { openDmg } = require("./lib/dmg");
+const { collectSurface, diffSurfaces, writeReports } = require("./lib/release-diff");
 
 const ROOT = path.join(__dirname, "..");
+const SRC_DIR = path.join(ROOT, "src");
+const RELEASE_DIFF_DIR = path.join(ROOT, "out", "release-diff");
 
 // ──────────────────────────────────────────────
 //  Config
 // ──────────────────────────────────────────────
 
-// Path inside the DMG → ASAR location
-const ASAR_IN_DMG  = "Codex Installer/Codex.app/Contents/Resources/app.asar";
-// Path inside the DMG → macOS codex CLI binary
-const CLI_IN_DMG_ARM64 = "Codex Installer/Codex.app/Contents/Resources/codex";
+// Path inside the DMG volume → ASAR location
+// (a leading volume-name component such as "Codex Installer/" is also accepted)
+const ASAR_IN_DMG  = "Codex.app/Contents/Resources/app.asar";
+// Path inside the DMG volume → macOS codex CLI binary
+const CLI_IN_DMG_ARM64 = "Codex.app/Contents/Resources/codex";
 
 // Where to place files in the repo  (ASAR-internal prefix → repo dest)
 const COPY_MAP = [
@@ -38,62 +47,17 @@ const COPY_MAP = [
   { asarPrefix: "skills",       repoDest: "src/skills"        },
 ];
 
-// Patch scripts to re-run after updating
-const PATCH_SCRIPTS = [
-  "scripts/patch-copyright.js",
-  "scripts/patch-i18n.js",
-  "scripts/patch-process-polyfill.js",
-  "scripts/patch-chromium-flags.js",
-  "scripts/patch-css-containment.js",
-];
+// Runs every patch in one process and exits non-zero if any of them failed
+const PATCH_PIPELINE = "scripts/patch.js";
 
 // ──────────────────────────────────────────────
-//  Locate 7-Zip
+//  Extract ASAR from DMG
 // ──────────────────────────────────────────────
 
-function find7zip() {
-  const candidates = [
-    "C:/Program Files/7-Zip/7z.exe",
-    "C:/Program Files (x86)/7-Zip/7z.exe",
-    "7z",
-    "7z.exe",
-  ];
-  for (const c of candidates) {
-    if (c.includes("/") && !fs.existsSync(c)) continue; // skip missing absolute paths
-    try {
-      const r = spawnSync(c, [], { stdio: "ignore", shell: false });
-      // 7-zip exits 0 or 1 when called with no args – either means it's present
-      if (r.pid) return c;
-    } catch { /* try next */ }
-  }
-  throw new Error(
-    "7-Zip not found. Install it from https://www.7-zip.org/ and ensure it is in PATH."
-  );
-}
-
-// ──────────────────────────────────────────────
-//  Extract ASAR from DMG using 7-Zip
-// ──────────────────────────────────────────────
-
-function run7z(sevenZip, args) {
-  const result = spawnSync(sevenZip, args, {
-    stdio: ["ignore", "pipe", "pipe"],
-    shell: false,
-    windowsVerbatimArguments: false,
-  });
-  if (result.status !== 0) {
-    throw new Error(`7-Zip failed:\n${result.stderr?.toString() || result.stdout?.toString()}`);
-  }
-  return result;
-}
-
-function extractAsarFromDmg(dmgPath, outDir, sevenZip) {
+function extractAsarFromDmg(dmg, outDir) {
   console.log(`\n📦 Extracting app.asar from DMG …`);
-  run7z(sevenZip, ["e", dmgPath, ASAR_IN_DMG, `-o${outDir}`, "-y"]);
   const asarPath = path.join(outDir, "app.asar");
-  if (!fs.existsSync(asarPath)) {
-    throw new Error(`app.asar not found in extracted output (${outDir})`);
-  }
+  dmg.extract(ASAR_IN_DMG, asarPath);
   console.log(`   ✅ app.asar extracted (${(fs.statSync(asarPath).size / 1024 / 1024).toFixed(1)} MB)`);
   return asarPath;
 }
@@ -102,49 +66,67 @@ function extractAsarFromDmg(dmgPath, outDir, sevenZip) {
 //  Optionally extract macOS CLI binary
 // ──────────────────────────────────────────────
 
-function extractCliBinary(dmgPath, outDir, sevenZip) {
-  const result = spawnSync(
-    sevenZip,
-    ["e", dmgPath, CLI_IN_DMG_ARM64, `-o${outDir}`, "-y"],
-    { stdio: ["ignore", "pipe", "pipe"], shell: false }
-  );
-  if (result.status !== 0) return false;
-
-  const extracted = path.join(outDir, "codex");
-  if (!fs.existsSync(extracted)) return false;
+function extractCliBinary(dmg) {
+  if (!dmg.exists(CLI_IN_DMG_ARM64)) return false;
 
   const destDir = path.join(ROOT, "resources", "bin", "darwin-arm64");
   fs.mkdirSync(destDir, { recursive: true });
-  fs.copyFileSync(extracted, path.join(destDir, "codex"));
+  dmg.extract(CLI_IN_DMG_ARM64, path.join(destDir, "codex"));
   console.log(`   ✅ codex binary → resources/bin/darwin-arm64/codex`);
   return true;
 }
 
-
 // ──────────────────────────────────────────────
 //  Re-run patch scripts
 // ──────────────────────────────────────────────
 
 function runPatches() {
   console.log("\n🔧 Re-applying patches …\n");
-  for (const script of PATCH_SCRIPTS) {
-    const scriptPath = path.join(ROOT, script);
-    if (!fs.existsSync(scriptPath)) {
-      console.log(`   ⚠️  ${script} not found – skipping`);
-      continue;
-    }
-    process.stdout.write(`   ▶  ${script} … `);
-    const result = spawnSync(process.execPath, [scriptPath], {
-      stdio: ["ignore", "pipe", "pipe"],
-      cwd: ROOT,
-    });
-    if (result.status !== 0) {
-      console.log("FAILED");
-      console.error(result.stderr?.toString());
-    } else {
-      console.log("ok");
+  const result = spawnSync(process.execPath, [path.join(ROOT, PATCH_PIPELINE), "--json"], {
+    stdio: ["ignore", "pipe", "pipe"],
+    cwd: ROOT,
+    maxBuffer: 64 * 1024 * 1024,
+  });
+
+  let report;
+  try {
+    report = JSON.parse(result.stdout.toString());
+  } catch {
+    console.log(`   ❌ ${PATCH_PIPELINE} FAILED`);
+    console.error(result.stderr?.toString());
+    return false;
+  }
+
+  for (const p of report.patches) {
+    const problems = p.rules.filter((r) => r.status !== "applied" && r.status !== "already-applied");
+    console.log(`   ▶  ${p.patch} … ${p.ok ? "ok" : "FAILED"}${p.message ? ` (${p.message})` : ""}`);
+    for (const r of problems) {
+      console.log(`         ${r.status}: [${r.rule}]${r.message ? ` ${r.message}` : ""}${r.warning ? ` ${r.warning}` : ""}`);
     }
   }
+  if (!report.ok) {
+    console.log("\n   ⚠️  Some patches did not apply — see out/patch-report/pipeline.json");
+  }
+  return report.ok;
+}
+
+// ──────────────────────────────────────────────
+//  Release diff report
+// ──────────────────────────────────────────────
+
+function reportReleaseDiff(surfaceBefore) {
+  console.log("\n🔍 Comparing old and new bundles …");
+  const diff = diffSurfaces(surfaceBefore, collectSurface(SRC_DIR));
+  const written = writeReports(diff, RELEASE_DIFF_DIR);
+
+  for (const c of Object.values(diff.categories)) {
+    if (!c.added.length && !c.removed.length) continue;
+    console.log(`   ${c.title}: +${c.added.length} / -${c.removed.length}`);
+  }
+  if (!diff.changed) console.log("   No surface changes");
+  for (const w of diff.after.warnings) console.log(`   ⚠️  ${w}`);
+  console.log(`   📝 ${path.relative(ROOT, written.markdown)}`);
+  console.log(`   📝 ${path.relative(ROOT, written.json)}`);
 }
 
 // ──────────────────────────────────────────────
@@ -166,14 +148,15 @@ async function main() {
   console.log(`🍎 Source DMG : ${path.relative(ROOT, dmgPath)}`);
   console.log(`   Size       : ${(fs.statSync(dmgPath).size / 1024 / 1024).toFixed(1)} MB`);
 
-  const sevenZip = find7zip();
+  const dmg = openDmg(dmgPath);
+  console.log(`   Volume     : ${dmg.volumeName || "(unnamed)"}`);
 
   // Temp work directory (cleaned up at the end)
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "codex-dmg-"));
 
   try {
     // 1. Pull app.asar out of the DMG
-    const asarPath = extractAsarFromDmg(dmgPath, tmpDir, sevenZip);
+    const asarPath = extractAsarFromDmg(dmg, tmpDir);
 
     // 2. List all files in the ASAR and selectively extract the ones we need
     console.log("\n📂 Reading ASAR file list …");
@@ -190,6 +173,9 @@ async function main() {
     }
 
     // Extract wanted files into repo
+    // Snapshot the current surface before anything is overwritten
+    const surfaceBefore = collectSurface(SRC_DIR);
+
     console.log("\n📋 Extracting & copying files into repo …");
     let copied = 0;
     for (const { asarPrefix, repoDest } of COPY_MAP) {
@@ -207,8 +193,8 @@ async function main() {
       fs.mkdirSync(destDir, { recursive: true });
 
       for (const norm of subset) {
-        const orig     = fileMap.get(norm);           // original ASAR path (leading \ + backslashes)
-        const asarKey  = orig.replace(/^\\/, "");     // extractFile wants no leading backslash
+        const orig     = fileMap.get(norm);           // original ASAR path (leading separator, OS-native slashes)
+        const asarKey  = orig.replace(/^[\\/]/, "");  // extractFile wants no leading separator
         const rel      = norm.slice(prefix.length);   // relative path inside dest
         const destFile = path.join(destDir, ...rel.split("/"));
         fs.mkdirSync(path.dirname(destFile), { recursive: true });
@@ -228,19 +214,26 @@ async function main() {
 
     // 4. Optionally pull darwin-arm64 CLI binary
     console.log("\n🔧 Checking codex CLI binary …");
-    const cliDir = path.join(tmpDir, "cli");
-    fs.mkdirSync(cliDir);
-    const gotCli = extractCliBinary(dmgPath, cliDir, sevenZip);
+    const gotCli = extractCliBinary(dmg);
     if (!gotCli) {
-      console.log("   ℹ️  CLI binary not extracted (may need separate handling)");
+      console.log("   ℹ️  CLI binary not found in DMG (may need separate handling)");
     }
 
     // 5. Re-run patches on the fresh files
-    runPatches();
+    const patchesOk = runPatches();
 
+    // 6. Summarise what the refresh introduced (compared patched → patched)
+    reportReleaseDiff(surfaceBefore);
+
+    if (!patchesOk) {
+      console.log("\n❌ Update complete, but patches failed — fix them before building.\n");
+      process.exitCode = 1;
+      return;
+    }
     console.log("\n✅ Update complete — repo source files are now up to date.\n");
 
   } finally {
+    dmg.close();
     fs.rmSync(tmpDir, { recursive: true, force: true });
   }
 }
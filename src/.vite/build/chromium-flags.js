@@ -0,0 +1,161 @@
+/**
+ * Chromium switches, resolved at launch
+ *
+ * patch-chromium-flags.js copies this file to src/.vite/build/chromium-flags.js
+ * and prepends a call to applyChromiumFlags() to main.js, so the switches are
+ * set before any app code runs. Sources, later ones win:
+ *
+ *   1. built-in defaults (DEFAULT_FLAGS below)
+ *   2. $CODEX_HOME/chromium-flags.json  (CODEX_HOME defaults to ~/.codex)
+ *        "flags"      for every platform
+ *        "profiles"   per platform: "darwin", "linux", "win32", and on Linux
+ *                     also "linux-wayland" / "linux-x11" (from XDG_SESSION_TYPE)
+ *        "defaults": false   drops the built-in defaults
+ *   3. CODEX_CHROMIUM_FLAGS env var, e.g. "disable-gpu,-enable-zero-copy,ozone-platform=wayland"
+ *
+ * A flag value of true adds the bare switch, a string or number adds it with
+ * that value, and false removes it (also "-name" in the env var):
+ *
+ *   {
+ *     "flags": { "ignore-gpu-blocklist": false },
+ *     "profiles": {
+ *       "linux-wayland": { "enable-zero-copy": false, "ozone-platform-hint": "auto" }
+ *     }
+ *   }
+ *
+ * Safe mode — launching with --safe-mode or CODEX_SAFE_MODE=1 — skips every
+ * switch above, including the defaults.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const LOG_PREFIX = "[chromium-flags]";
+const FLAGS_FILENAME = "chromium-flags.json";
+const SAFE_MODE_ARG = "--safe-mode";
+
+const DEFAULT_FLAGS = {
+  // ── GPU rasterization ──────────────────────
+  // Enable Chromium's GPU rasterisation pipeline
+  "enable-gpu-rasterization": true,
+  // Use zero-copy texture upload where the GPU supports it
+  "enable-zero-copy": true,
+  // Skip the GPU driver blocklist so rasterisation isn't disabled on
+  // common consumer GPUs (safe inside a controlled Electron app)
+  "ignore-gpu-blocklist": true,
+  // ── Background throttling fixes ───────────
+  // Keep renderer process priority when the window loses focus
+  "disable-renderer-backgrounding": true,
+  // Prevent setTimeout/setInterval from being slowed to 1 Hz in background
+  "disable-background-timer-throttling": true,
+};
+
+// ──────────────────────────────────────────────
+//  Sources
+// ──────────────────────────────────────────────
+
+function codexHome(env) {
+  return env.CODEX_HOME || path.join(os.homedir(), ".codex");
+}
+
+function isSafeMode(argv, env) {
+  return argv.includes(SAFE_MODE_ARG) || /^(1|true|yes)$/i.test(env.CODEX_SAFE_MODE || "");
+}
+
+/** Profile names that apply to this launch, least specific first */
+function activeProfiles(platform, env) {
+  const profiles = [platform];
+  const session = (env.XDG_SESSION_TYPE || "").toLowerCase();
+  if (platform === "linux" && (session === "wayland" || session === "x11")) profiles.push(`linux-${session}`);
+  return profiles;
+}
+
+function readFlagsFile(file, warnings) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const config = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!config || typeof config !== "object" || Array.isArray(config)) throw new Error("expected a JSON object");
+    return config;
+  } catch (err) {
+    warnings.push(`ignoring ${file}: ${err.message}`);
+    return null;
+  }
+}
+
+/** "a,-b,c=1" → { a: true, b: false, c: "1" } */
+function parseEnvFlags(value) {
+  const flags = {};
+  for (const item of (value || "").split(/[,\s]+/).filter(Boolean)) {
+    const name = item.replace(/^--?/, "");
+    if (item.startsWith("-") && !item.startsWith("--")) {
+      flags[name] = false;
+    } else {
+      const eq = name.indexOf("=");
+      if (eq === -1) flags[name] = true;
+      else flags[name.slice(0, eq)] = name.slice(eq + 1);
+    }
+  }
+  return flags;
+}
+
+function mergeFlags(target, source, label, warnings) {
+  if (!source) return;
+  if (typeof source !== "object" || Array.isArray(source)) {
+    warnings.push(`${label}: expected an object of flags`);
+    return;
+  }
+  for (const [name, value] of Object.entries(source)) {
+    if (value === false || value === null) delete target[name];
+    else if (value === true || typeof value === "string" || typeof value === "number") target[name] = value;
+    else warnings.push(`${label}: ignoring "${name}" (value must be true, false, a string or a number)`);
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Resolution
+// ──────────────────────────────────────────────
+
+/**
+ * Work out the switches for a launch without touching Electron.
+ *
+ * @returns {{ safeMode: boolean, file: string, profiles: string[], flags: Object<string, true|string|number>, warnings: string[] }}
+ */
+function resolveChromiumFlags({ platform = process.platform, argv = process.argv, env = process.env } = {}) {
+  const file = path.join(codexHome(env), FLAGS_FILENAME);
+  const profiles = activeProfiles(platform, env);
+  const warnings = [];
+  if (isSafeMode(argv, env)) return { safeMode: true, file, profiles, flags: {}, warnings };
+
+  const config = readFlagsFile(file, warnings) || {};
+  const flags = config.defaults === false ? {} : { ...DEFAULT_FLAGS };
+  mergeFlags(flags, config.flags, `${FLAGS_FILENAME} flags`, warnings);
+  for (const profile of profiles) {
+    mergeFlags(flags, config.profiles?.[profile], `${FLAGS_FILENAME} profiles.${profile}`, warnings);
+  }
+  mergeFlags(flags, parseEnvFlags(env.CODEX_CHROMIUM_FLAGS), "CODEX_CHROMIUM_FLAGS", warnings);
+
+  return { safeMode: false, file, profiles, flags, warnings };
+}
+
+/** Append the resolved switches to Electron's command line */
+function applyChromiumFlags() {
+  const { app } = require("electron");
+  const resolved = resolveChromiumFlags();
+  for (const warning of resolved.warnings) console.warn(LOG_PREFIX, warning);
+  if (resolved.safeMode) {
+    console.log(LOG_PREFIX, "safe mode: no custom Chromium switches");
+    return resolved;
+  }
+  for (const [name, value] of Object.entries(resolved.flags)) {
+    if (value === true) app.commandLine.appendSwitch(name);
+    else app.commandLine.appendSwitch(name, String(value));
+  }
+  return resolved;
+}
+
+module.exports = {
+  DEFAULT_FLAGS,
+  SAFE_MODE_ARG,
+  resolveChromiumFlags,
+  applyChromiumFlags,
+};
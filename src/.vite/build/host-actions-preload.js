@@ -0,0 +1,12 @@
+/**
+ * Preload for the built-in config.toml editor window (see host-actions.js)
+ *
+ * Runs sandboxed, so the channel names are repeated here rather than required.
+ */
+const { contextBridge, ipcRenderer } = require("electron");
+
+contextBridge.exposeInMainWorld("codexConfigEditor", {
+  load: () => ipcRenderer.invoke("codex_desktop:config-editor-load"),
+  save: (text) => ipcRenderer.invoke("codex_desktop:config-editor-save", text),
+  setDirty: (dirty) => ipcRenderer.send("codex_desktop:config-editor-dirty", dirty),
+});
@@ -0,0 +1,82 @@
+/**
+ * Translation overrides, read at launch (runs inside Electron's main process)
+ *
+ * patch-i18n.js copies this file to src/.vite/build/i18n-overrides.js and
+ * prepends a call to registerI18nOverrides() to main.js. The preload asks for
+ * the overrides synchronously before the webview loads its locale chunk, and
+ * every locale chunk merges the strings for its locale over its own:
+ *
+ *   $CODEX_HOME/i18n-overrides.json  (CODEX_HOME defaults to ~/.codex)
+ *
+ *   {
+ *     "zh-CN": { "settings.agent.title": "智能体" },
+ *     "de-DE": { "CopyButton.copyTooltip": "In Zwischenablage kopieren" }
+ *   }
+ *
+ * The file is re-read for every window, so reloading the window (or opening a
+ * new one) picks up edits without a rebuild. English has no locale chunk —
+ * its strings are the defaultMessage descriptors compiled into the bundle — so
+ * only translated locales can be overridden.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const LOG_PREFIX = "[i18n-overrides]";
+const OVERRIDES_FILENAME = "i18n-overrides.json";
+const CHANNEL = "codex_desktop:get-i18n-overrides";
+
+function codexHome(env) {
+  return env.CODEX_HOME || path.join(os.homedir(), ".codex");
+}
+
+/**
+ * Read the overrides file without touching Electron.
+ *
+ * @returns {{ file: string, overrides: Object<string, Object<string, string>>, warnings: string[] }}
+ */
+function readI18nOverrides({ env = process.env } = {}) {
+  const file = path.join(codexHome(env), OVERRIDES_FILENAME);
+  const warnings = [];
+  const overrides = {};
+  if (!fs.existsSync(file)) return { file, overrides, warnings };
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!config || typeof config !== "object" || Array.isArray(config)) throw new Error("expected a JSON object");
+  } catch (err) {
+    warnings.push(`ignoring ${file}: ${err.message}`);
+    return { file, overrides, warnings };
+  }
+
+  for (const [locale, messages] of Object.entries(config)) {
+    if (!messages || typeof messages !== "object" || Array.isArray(messages)) {
+      warnings.push(`${OVERRIDES_FILENAME} ${locale}: expected an object of id → message`);
+      continue;
+    }
+    overrides[locale] = {};
+    for (const [id, message] of Object.entries(messages)) {
+      if (typeof message === "string") overrides[locale][id] = message;
+      else warnings.push(`${OVERRIDES_FILENAME} ${locale}: ignoring "${id}" (message must be a string)`);
+    }
+  }
+  return { file, overrides, warnings };
+}
+
+/** Answer the preload's synchronous request for the overrides */
+function registerI18nOverrides() {
+  const { ipcMain } = require("electron");
+  ipcMain.on(CHANNEL, (event) => {
+    const { overrides, warnings } = readI18nOverrides();
+    for (const warning of warnings) console.warn(LOG_PREFIX, warning);
+    event.returnValue = overrides;
+  });
+}
+
+module.exports = {
+  CHANNEL,
+  OVERRIDES_FILENAME,
+  readI18nOverrides,
+  registerI18nOverrides,
+};
@@ -0,0 +1,690 @@
+/**
+ * User keybindings and global hotkeys (runs inside Electron's main process)
+ *
+ * patch-keybindings.js copies this file to src/.vite/build/keybindings.js and
+ * hooks it into the bundle twice:
+ *
+ *   menuAccelerators(defaults)     wraps the accelerator table the application
+ *                                  menu is built from, so every lookup sees the
+ *                                  user's binding
+ *   afterMenuBuild(build, options) runs after each menu build; adds the other
+ *                                  bindings as hidden menu items, (re)registers
+ *                                  the global ones and keeps `build` to rebuild
+ *                                  the menu when the file changes
+ *
+ *   $CODEX_HOME/keybindings.json  (CODEX_HOME defaults to ~/.codex)
+ *
+ *   [
+ *     { "key": "CmdOrCtrl+Shift+N", "command": "menu.newThread" },
+ *     { "key": null, "command": "menu.toggleTerminal" },
+ *     { "key": "Alt+Space", "command": "app.focus", "global": true },
+ *     { "key": "CmdOrCtrl+Alt+Shift+R", "command": "message.codex-app-server-restart" }
+ *   ]
+ *
+ * Commands:
+ *   menu.<id>                    a menu accelerator (ids from the bundle's table,
+ *                                e.g. newThread, settings, toggleSidebar); a null
+ *                                or empty key removes it
+ *   app.focus                    show and focus Codex
+ *   app.newThreadWithClipboard   new thread, composer prefilled from the clipboard
+ *   app.toggleThreadOverlay      hide / show the open thread overlay windows
+ *   message.<type>               send a message to the focused window's
+ *                                handler, e.g. toggle-trace-recording (see
+ *                                MESSAGE_COMMANDS)
+ *
+ * `"global": true` registers a system-wide hotkey (app.* and message.* only).
+ * Every binding goes through the same checks: syntax, unknown commands, and
+ * collisions. The first binding for a key wins, and menu accelerators win over
+ * added bindings. Problems are logged and shown in the editor that
+ * `open-keyboard-shortcuts` opens. Edits to the file apply immediately. The
+ * editor holds one key per command and saves only what differs from the
+ * defaults.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { app, BrowserWindow, Menu, MenuItem, clipboard, globalShortcut, ipcMain } = require("electron");
+
+const LOG_PREFIX = "[keybindings]";
+const KEYBINDINGS_FILENAME = "keybindings.json";
+const EDITOR_PRELOAD = path.join(__dirname, "keybindings-preload.js");
+const RELOAD_DEBOUNCE_MS = 200;
+
+const CHANNELS = {
+  load: "codex_desktop:keybindings-load",
+  check: "codex_desktop:keybindings-check",
+  save: "codex_desktop:keybindings-save",
+};
+
+const MENU_LABELS = {
+  openCommandMenu: "Command Menu…",
+  openCommandMenuAlt: "Command Menu… (alternate)",
+  findInThread: "Find",
+  settings: "Settings…",
+  newThread: "New Thread",
+  newThreadAlt: "New Thread (alternate)",
+  openFolder: "Open Folder…",
+  copyConversationPath: "Copy conversation path",
+  toggleThreadPin: "Pin/unpin thread",
+  renameThread: "Rename thread",
+  archiveThread: "Archive thread",
+  copyWorkingDirectory: "Copy working directory",
+  copySessionId: "Copy session id",
+  copyDeeplink: "Copy deeplink",
+  toggleSidebar: "Toggle Sidebar",
+  toggleTerminal: "Toggle Terminal",
+  toggleDiffPanel: "Toggle Diff Panel",
+  toggleTraceRecording: "Start / Stop Trace Recording",
+  navigateBack: "Back",
+  navigateForward: "Forward",
+  previousThread: "Previous Thread",
+  nextThread: "Next Thread",
+};
+
+const APP_COMMANDS = {
+  "app.focus": "Focus Codex",
+  "app.newThreadWithClipboard": "New thread with clipboard text",
+  "app.toggleThreadOverlay": "Show / hide thread overlays",
+};
+
+// Messages the handler accepts without a payload
+const MESSAGE_COMMANDS = {
+  "toggle-trace-recording": "Toggle trace recording",
+  "codex-app-server-restart": "Restart the Codex app-server",
+  "install-app-update": "Install downloaded update",
+  "open-debug-window": "Open debug window",
+  "show-settings": "Show settings",
+  "open-config-toml": "Open config.toml",
+  "open-keyboard-shortcuts": "Open keyboard shortcuts",
+};
+
+// Role items the menu always carries (edit menu, window / app roles)
+const RESERVED = {
+  "CmdOrCtrl+Z": "Undo",
+  "CmdOrCtrl+Shift+Z": "Redo",
+  "CmdOrCtrl+X": "Cut",
+  "CmdOrCtrl+C": "Copy",
+  "CmdOrCtrl+V": "Paste",
+  "CmdOrCtrl+A": "Select All",
+  "CmdOrCtrl+W": "Close Window",
+  "CmdOrCtrl+Q": "Quit",
+};
+
+function codexHome(env) {
+  return env.CODEX_HOME || path.join(os.homedir(), ".codex");
+}
+
+function humanize(id) {
+  return id.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/^./, (c) => c.toUpperCase());
+}
+
+// ──────────────────────────────────────────────
+//  Accelerators
+// ──────────────────────────────────────────────
+
+const MODIFIERS = {
+  CommandOrControl: "CmdOrCtrl",
+  CmdOrCtrl: "CmdOrCtrl",
+  Command: "Cmd",
+  Cmd: "Cmd",
+  Super: "Cmd",
+  Meta: "Cmd",
+  Control: "Ctrl",
+  Ctrl: "Ctrl",
+  Alt: "Alt",
+  Option: "Alt",
+  AltGr: "AltGr",
+  Shift: "Shift",
+};
+const MODIFIER_ORDER = ["Cmd", "Ctrl", "Alt", "AltGr", "Shift"];
+
+const NAMED_KEYS = new Set([
+  "Plus", "Space", "Tab", "Capslock", "Numlock", "Scrolllock", "Backspace", "Delete", "Insert",
+  "Return", "Enter", "Up", "Down", "Left", "Right", "Home", "End", "PageUp", "PageDown",
+  "Escape", "Esc", "VolumeUp", "VolumeDown", "VolumeMute", "MediaNextTrack",
+  "MediaPreviousTrack", "MediaStop", "MediaPlayPause", "PrintScreen",
+  "numdec", "numadd", "numsub", "nummult", "numdiv",
+]);
+const KEY_ALIASES = { Return: "Enter", Esc: "Escape", "+": "Plus" };
+
+function isKey(key) {
+  return (
+    /^[A-Za-z0-9]$/.test(key) ||
+    /^F(?:[1-9]|1\d|2[0-4])$/.test(key) ||
+    /^num[0-9]$/.test(key) ||
+    /^[)!@#$%^&*(:;+=<,_\-.>?/~`{\][|\\}"']$/.test(key) ||
+    NAMED_KEYS.has(key)
+  );
+}
+
+/**
+ * Canonical form of an Electron accelerator for comparisons: modifiers in a
+ * fixed order, CmdOrCtrl resolved for `platform`. Returns null when invalid.
+ */
+function normalizeAccelerator(accelerator, platform = process.platform) {
+  if (typeof accelerator !== "string" || !accelerator.trim()) return null;
+  const text = accelerator.trim();
+  const parts = text.endsWith("++") ? [...text.slice(0, -2).split("+"), "+"] : text.split("+");
+  const key = parts.pop();
+  if (!key || !isKey(key)) return null;
+  const mods = new Set();
+  for (const part of parts) {
+    let mod = MODIFIERS[part];
+    if (!mod) return null;
+    if (mod === "CmdOrCtrl") mod = platform === "darwin" ? "Cmd" : "Ctrl";
+    mods.add(mod);
+  }
+  const name = KEY_ALIASES[key] || (key.length === 1 ? key.toUpperCase() : key);
+  return [...MODIFIER_ORDER.filter((m) => mods.has(m)), name].join("+");
+}
+
+// ──────────────────────────────────────────────
+//  Reading and checking bindings
+// ──────────────────────────────────────────────
+
+function commandLabel(command) {
+  if (command.startsWith("menu.")) return MENU_LABELS[command.slice(5)] || humanize(command.slice(5));
+  if (command.startsWith("message.")) return MESSAGE_COMMANDS[command.slice(8)] || command;
+  return APP_COMMANDS[command] || command;
+}
+
+/** Every command the file may bind, with its default key */
+function listCommands(menuDefaults) {
+  return [
+    ...Object.entries(menuDefaults).map(([id, key]) => ({ command: `menu.${id}`, defaultKey: key || null })),
+    ...Object.keys(APP_COMMANDS).map((command) => ({ command, defaultKey: null })),
+    ...Object.keys(MESSAGE_COMMANDS).map((type) => ({ command: `message.${type}`, defaultKey: null })),
+  ].map((c) => ({ ...c, label: commandLabel(c.command), globalAllowed: !c.command.startsWith("menu.") }));
+}
+
+/**
+ * Check a list of bindings against the menu defaults.
+ *
+ * @returns {{ menu: Object<string, string|null>, local: object[], global: object[], problems: string[] }}
+ *   menu: id → accelerator for ids the user changed; local / global: the
+ *   bindings that will be registered; problems: everything that was skipped
+ *   or collides
+ */
+function checkBindings(entries, menuDefaults, platform = process.platform) {
+  const problems = [];
+  const menu = {};
+  const local = [];
+  const global = [];
+  const known = new Set(listCommands(menuDefaults).map((c) => c.command));
+
+  if (!Array.isArray(entries)) {
+    return { menu, local, global, problems: [`${KEYBINDINGS_FILENAME}: expected an array of { key, command }`] };
+  }
+
+  const valid = [];
+  entries.forEach((entry, i) => {
+    const where = `#${i + 1}`;
+    if (!entry || typeof entry !== "object" || typeof entry.command !== "string") {
+      problems.push(`${where}: expected { "key": …, "command": … }`);
+      return;
+    }
+    const { command } = entry;
+    if (!known.has(command)) {
+      problems.push(`${where} ${command}: unknown command`);
+      return;
+    }
+    const unbind = entry.key === null || entry.key === "";
+    if (!unbind && !normalizeAccelerator(entry.key, platform)) {
+      problems.push(`${where} ${command}: invalid key ${JSON.stringify(entry.key)}`);
+      return;
+    }
+    if (entry.global && command.startsWith("menu.")) {
+      problems.push(`${where} ${command}: menu commands cannot be global`);
+      return;
+    }
+    if (unbind && !command.startsWith("menu.")) return;
+    valid.push({ key: unbind ? null : entry.key.trim(), command, global: Boolean(entry.global), where });
+  });
+
+  // Menu accelerators first: defaults, with the user's changes on top
+  for (const b of valid) if (b.command.startsWith("menu.")) menu[b.command.slice(5)] = b.key;
+  const owners = new Map(); // normalized key → owner label
+  for (const [key, label] of Object.entries(RESERVED)) owners.set(normalizeAccelerator(key, platform), label);
+  for (const [id, key] of Object.entries({ ...menuDefaults, ...menu })) {
+    const normalized = normalizeAccelerator(key, platform);
+    if (!normalized) continue;
+    const owner = owners.get(normalized);
+    if (owner) problems.push(`${key}: bound to both ${owner} and menu.${id}`);
+    else owners.set(normalized, `menu.${id}`);
+  }
+
+  // Then the added bindings, first one wins
+  for (const b of valid) {
+    if (b.command.startsWith("menu.")) continue;
+    const normalized = normalizeAccelerator(b.key, platform);
+    const owner = owners.get(normalized);
+    if (owner) {
+      problems.push(`${b.where} ${b.command}: ${b.key} is already bound to ${owner} (skipped)`);
+      continue;
+    }
+    owners.set(normalized, b.command);
+    (b.global ? global : local).push({ key: b.key, command: b.command });
+  }
+  return { menu, local, global, problems };
+}
+
+function readKeybindingsFile(env = process.env) {
+  const file = path.join(codexHome(env), KEYBINDINGS_FILENAME);
+  if (!fs.existsSync(file)) return { file, entries: [], problems: [] };
+  try {
+    return { file, entries: JSON.parse(fs.readFileSync(file, "utf8")), problems: [] };
+  } catch (err) {
+    return { file, entries: [], problems: [`ignoring ${file}: ${err.message}`] };
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Runtime state
+// ──────────────────────────────────────────────
+
+const state = {
+  defaults: {},
+  entries: [],
+  result: { menu: {}, local: [], global: [], problems: [] },
+  build: null,
+  buildOptions: null,
+  globals: [], // accelerators registered with globalShortcut
+  globalSignature: null,
+  globalProblems: [],
+  watching: false,
+  started: false,
+};
+
+function load() {
+  const { entries, problems } = readKeybindingsFile();
+  state.entries = entries;
+  state.result = checkBindings(entries, state.defaults);
+  state.result.problems.unshift(...problems);
+  for (const problem of state.result.problems) console.warn(LOG_PREFIX, problem);
+}
+
+/** Accelerator table for the menu builder; reads the current bindings on every lookup */
+function menuAccelerators(defaults) {
+  state.defaults = { ...defaults };
+  load();
+  const table = {};
+  for (const id of Object.keys(defaults)) {
+    Object.defineProperty(table, id, {
+      enumerable: true,
+      get: () => (id in state.result.menu ? state.result.menu[id] || undefined : state.defaults[id]),
+    });
+  }
+  return table;
+}
+
+function rebuildMenu() {
+  if (!state.build) return;
+  try {
+    state.build(state.buildOptions);
+  } catch (err) {
+    console.error(LOG_PREFIX, "failed to rebuild the menu", err);
+  }
+}
+
+function reload() {
+  load();
+  rebuildMenu();
+  notifyEditor();
+}
+
+function watchFile() {
+  if (state.watching) return;
+  const dir = codexHome(process.env);
+  if (!fs.existsSync(dir)) return;
+  state.watching = true;
+  let timer = null;
+  try {
+    fs.watch(dir, (_event, filename) => {
+      if (filename && filename !== KEYBINDINGS_FILENAME) return;
+      clearTimeout(timer);
+      timer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+    }).unref();
+  } catch (err) {
+    state.watching = false;
+    console.warn(LOG_PREFIX, `cannot watch ${dir}: ${err.message}`);
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Commands
+// ──────────────────────────────────────────────
+
+/** The focused Codex window, else the primary one (shown) */
+async function targetWindow() {
+  const focused = BrowserWindow.getFocusedWindow();
+  if (focused && !focused.isDestroyed() && state.buildOptions.getElectronMessageHandlerForWindow(focused)) return focused;
+  return state.buildOptions.ensurePrimaryWindowVisible();
+}
+
+function overlayWindows() {
+  const { getElectronMessageHandlerForWindow } = state.buildOptions;
+  for (const win of BrowserWindow.getAllWindows()) {
+    const stores = getElectronMessageHandlerForWindow(win)?.threadOverlayManager?.stores?.byWindowId;
+    if (stores) return [...stores.values()].map((s) => s.window).filter((w) => !w.isDestroyed());
+  }
+  return [];
+}
+
+async function runCommand(command) {
+  const options = state.buildOptions;
+  if (!options) return;
+  switch (command) {
+    case "app.focus":
+      await options.ensurePrimaryWindowVisible();
+      return;
+    case "app.newThreadWithClipboard": {
+      const win = await options.ensurePrimaryWindowVisible();
+      const prompt = clipboard.readText().trim();
+      if (win) options.navigateToRoute(win, "/", { focusComposerNonce: Date.now(), prefillPrompt: prompt || undefined });
+      return;
+    }
+    case "app.toggleThreadOverlay": {
+      const windows = overlayWindows();
+      if (!windows.length) {
+        console.info(LOG_PREFIX, "no thread overlay open");
+        return;
+      }
+      const hide = windows.some((w) => w.isVisible());
+      for (const w of windows) hide ? w.hide() : w.showInactive();
+      return;
+    }
+    default: {
+      const type = command.slice("message.".length);
+      const win = await targetWindow();
+      const handler = win && options.getElectronMessageHandlerForWindow(win);
+      if (!handler) return;
+      await handler.handleMessage(win.webContents, { type });
+    }
+  }
+}
+
+function run(command) {
+  runCommand(command).catch((err) => console.error(LOG_PREFIX, `${command} failed`, err));
+}
+
+function syncGlobalShortcuts() {
+  const wanted = state.result.global;
+  const signature = JSON.stringify(wanted);
+  if (signature === state.globalSignature) return;
+  state.globalSignature = signature;
+
+  for (const key of state.globals) globalShortcut.unregister(key);
+  state.globals = [];
+  state.globalProblems = [];
+  for (const { key, command } of wanted) {
+    let ok = false;
+    try {
+      ok = globalShortcut.register(key, () => run(command));
+    } catch (err) {
+      console.warn(LOG_PREFIX, `global ${key}: ${err.message}`);
+    }
+    if (ok) state.globals.push(key);
+    else state.globalProblems.push(`${command}: global ${key} is taken by another application`);
+  }
+  for (const problem of state.globalProblems) console.warn(LOG_PREFIX, problem);
+}
+
+/** Called at the end of every menu build with the builder and its options */
+function afterMenuBuild(build, options) {
+  state.build = build;
+  state.buildOptions = options;
+
+  const menu = Menu.getApplicationMenu();
+  const submenu = menu && (menu.getMenuItemById("file-menu")?.submenu || menu.items.find((i) => i.submenu)?.submenu);
+  if (submenu && state.result.local.length) {
+    for (const { key, command } of state.result.local) {
+      submenu.append(new MenuItem({
+        label: commandLabel(command),
+        accelerator: key,
+        visible: false,
+        acceleratorWorksWhenHidden: true,
+        click: () => run(command),
+      }));
+    }
+    Menu.setApplicationMenu(menu);
+  }
+
+  if (!state.started) {
+    state.started = true;
+    app.on("will-quit", () => globalShortcut.unregisterAll());
+  }
+  watchFile();
+  app.whenReady().then(syncGlobalShortcuts);
+}
+
+// ──────────────────────────────────────────────
+//  Editor window
+// ──────────────────────────────────────────────
+
+let editorWindow = null;
+let editorIpcRegistered = false;
+
+function editorModel() {
+  const file = path.join(codexHome(process.env), KEYBINDINGS_FILENAME);
+  const { menu, local, global } = state.result;
+  const entries = Array.isArray(state.entries) ? state.entries : [];
+  const commands = listCommands(state.defaults).map((c) => {
+    if (c.command.startsWith("menu.")) {
+      const id = c.command.slice(5);
+      return { ...c, key: id in menu ? menu[id] : c.defaultKey, global: false };
+    }
+    // The binding in effect, else the first one written (so a rejected key can be fixed here)
+    const active = global.find((b) => b.command === c.command);
+    const entry = active ? { ...active, global: true } : local.find((b) => b.command === c.command) ||
+      entries.find((e) => e && e.command === c.command);
+    return { ...c, key: (entry && entry.key) || null, global: Boolean(entry && entry.global) };
+  });
+  return { file, platform: process.platform, commands, problems: [...state.result.problems, ...state.globalProblems] };
+}
+
+/** Editor rows → file entries: only what differs from the defaults */
+function entriesFromRows(rows) {
+  const defaults = new Map(listCommands(state.defaults).map((c) => [c.command, c.defaultKey]));
+  const entries = [];
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row || !defaults.has(row.command)) continue;
+    const key = row.key || null;
+    if (row.command.startsWith("menu.")) {
+      if (key !== defaults.get(row.command)) entries.push({ key, command: row.command });
+    } else if (key) {
+      entries.push({ key, command: row.command, ...(row.global ? { global: true } : {}) });
+    }
+  }
+  return entries;
+}
+
+function notifyEditor() {
+  if (editorWindow && !editorWindow.isDestroyed()) editorWindow.webContents.send(CHANNELS.load, editorModel());
+}
+
+function registerEditorIpc() {
+  if (editorIpcRegistered) return;
+  editorIpcRegistered = true;
+  const fromEditor = (event) => {
+    if (!editorWindow || editorWindow.isDestroyed() || event.sender.id !== editorWindow.webContents.id) {
+      throw new Error("not the keybindings editor");
+    }
+  };
+  ipcMain.handle(CHANNELS.load, (event) => {
+    fromEditor(event);
+    return editorModel();
+  });
+  ipcMain.handle(CHANNELS.check, (event, rows) => {
+    fromEditor(event);
+    return checkBindings(entriesFromRows(rows), state.defaults).problems;
+  });
+  ipcMain.handle(CHANNELS.save, (event, rows) => {
+    fromEditor(event);
+    const { file } = readKeybindingsFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(entriesFromRows(rows), null, 2) + "\n");
+    reload();
+    watchFile();
+    return editorModel();
+  });
+}
+
+const PAGE_CSP = "default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'";
+
+const EDITOR_HTML = `<!doctype html>
+<html><head><meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${PAGE_CSP}">
+<title>Keyboard Shortcuts</title>
+<style>
+  :root { color-scheme: light dark; font: 13px system-ui, sans-serif; }
+  body { margin: 0; }
+  header { position: sticky; top: 0; display: flex; gap: 8px; align-items: center; padding: 8px 12px;
+           background: Canvas; border-bottom: 1px solid color-mix(in srgb, currentColor 15%, transparent); }
+  header input { flex: 1; padding: 4px 8px; }
+  #problems { margin: 0; padding: 8px 12px 8px 28px; color: #c0392b; }
+  #problems:empty { display: none; }
+  table { width: 100%; border-collapse: collapse; }
+  td, th { padding: 5px 12px; text-align: left; }
+  tr.section th { padding-top: 14px; font-size: 11px; text-transform: uppercase; opacity: .6; }
+  tr.conflict td:first-child { color: #c0392b; }
+  button.key { min-width: 140px; text-align: right; background: none; border: 1px dashed transparent; padding: 2px 6px; }
+  button.key:hover, button.key.recording { border-color: currentColor; }
+  kbd { font: 12px ui-monospace, monospace; padding: 1px 5px; border-radius: 4px;
+        border: 1px solid color-mix(in srgb, currentColor 25%, transparent); }
+  .muted { opacity: .5; }
+  footer { padding: 12px; opacity: .6; }
+</style></head>
+<body>
+<header><input id="filter" placeholder="Filter commands" autofocus>
+<button id="revert">Revert</button><button id="save">Save</button></header>
+<ul id="problems"></ul>
+<table id="table"></table>
+<footer id="file"></footer>
+<script>
+  const SECTIONS = { menu: "Menu", app: "App actions", message: "Messages" };
+  const SYMBOLS = { CmdOrCtrl: "⌘", CommandOrControl: "⌘", Cmd: "⌘", Command: "⌘", Ctrl: "⌃", Control: "⌃", Alt: "⌥", Option: "⌥", Shift: "⇧" };
+  const CODE_KEYS = { Minus: "-", Equal: "=", BracketLeft: "[", BracketRight: "]", Backslash: "\\\\", Semicolon: ";",
+    Quote: "'", Comma: ",", Period: ".", Slash: "/", Backquote: "\`", ArrowUp: "Up", ArrowDown: "Down",
+    ArrowLeft: "Left", ArrowRight: "Right", Space: "Space", Enter: "Enter", Tab: "Tab", Backspace: "Backspace",
+    Delete: "Delete", Home: "Home", End: "End", PageUp: "PageUp", PageDown: "PageDown", Insert: "Insert" };
+  let model = null;
+  let rows = [];
+  let recording = null;
+
+  const el = (tag, props = {}, ...children) => {
+    const node = Object.assign(document.createElement(tag), props);
+    node.append(...children);
+    return node;
+  };
+  const isMac = () => model.platform === "darwin";
+  const keyParts = (key) => key.endsWith("++") ? [...key.slice(0, -2).split("+"), "+"] : key.split("+");
+  const renderKey = (key) => {
+    if (!key) return [el("span", { className: "muted", textContent: "—" })];
+    return keyParts(key).flatMap((k, i) => [i ? " " : "", el("kbd", { textContent: isMac() ? SYMBOLS[k] || k : k.replace(/^(CmdOrCtrl|CommandOrControl)$/, "Ctrl") })]);
+  };
+  const acceleratorFrom = (e) => {
+    const key = /^Key[A-Z]$/.test(e.code) ? e.code.slice(3) : /^Digit\\d$/.test(e.code) ? e.code.slice(5)
+      : /^F\\d{1,2}$/.test(e.code) ? e.code : CODE_KEYS[e.code];
+    if (!key) return null;
+    const mods = [];
+    if (isMac() ? e.metaKey : e.ctrlKey) mods.push("CmdOrCtrl");
+    if (isMac() && e.ctrlKey) mods.push("Ctrl");
+    if (!isMac() && e.metaKey) mods.push("Super");
+    if (e.altKey) mods.push("Alt");
+    if (e.shiftKey) mods.push("Shift");
+    return [...mods, key].join("+");
+  };
+
+  async function check() {
+    const problems = await codexKeybindings.check(rows);
+    document.getElementById("problems").replaceChildren(...problems.map((p) => el("li", { textContent: p })));
+    for (const tr of document.querySelectorAll("tr[data-command]")) {
+      tr.classList.toggle("conflict", problems.some((p) => p.split(/[\\s:]+/).includes(tr.dataset.command)));
+    }
+  }
+
+  function render() {
+    const q = document.getElementById("filter").value.trim().toLowerCase();
+    const bodies = [];
+    for (const [prefix, title] of Object.entries(SECTIONS)) {
+      const section = rows.filter((r) => r.command.startsWith(prefix + ".") &&
+        (!q || (r.label + " " + r.command + " " + (r.key || "")).toLowerCase().includes(q)));
+      if (!section.length) continue;
+      bodies.push(el("tbody", {}, el("tr", { className: "section" }, el("th", { colSpan: 4, textContent: title })),
+        ...section.map((row) => {
+          const keyButton = el("button", { className: "key" + (recording === row ? " recording" : ""), title: "Click, then press the new shortcut (Esc cancels, Backspace clears)" },
+            ...(recording === row ? [el("span", { className: "muted", textContent: "Press keys…" })] : renderKey(row.key)));
+          keyButton.addEventListener("click", () => { recording = row; render(); });
+          const global = el("input", { type: "checkbox", checked: row.global, disabled: !row.globalAllowed, title: "System-wide hotkey" });
+          global.addEventListener("change", () => { row.global = global.checked; check(); });
+          const reset = el("button", { textContent: "Reset", disabled: row.key === row.defaultKey && !row.global });
+          reset.addEventListener("click", () => { row.key = row.defaultKey; row.global = false; render(); check(); });
+          const tr = el("tr", {}, el("td", { textContent: row.label, title: row.command }), el("td", {}, keyButton),
+            el("td", {}, el("label", {}, global, " global")), el("td", {}, reset));
+          tr.dataset.command = row.command;
+          return tr;
+        })));
+    }
+    document.getElementById("table").replaceChildren(...bodies);
+  }
+
+  function show(next) {
+    model = next;
+    rows = model.commands.map((c) => ({ ...c }));
+    recording = null;
+    document.getElementById("file").textContent = model.file;
+    render();
+    check();
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (!recording) return;
+    e.preventDefault();
+    if (e.key === "Escape") { recording = null; return render(); }
+    if (e.key === "Backspace" || e.key === "Delete") { recording.key = null; recording = null; render(); return check(); }
+    const accelerator = acceleratorFrom(e);
+    if (!accelerator) return;
+    recording.key = accelerator;
+    recording = null;
+    render();
+    check();
+  }, true);
+  document.getElementById("filter").addEventListener("input", render);
+  document.getElementById("revert").addEventListener("click", () => show(model));
+  document.getElementById("save").addEventListener("click", async () => show(await codexKeybindings.save(rows)));
+  codexKeybindings.onChange(show);
+  codexKeybindings.load().then(show);
+</script>
+</body></html>`;
+
+function openKeybindingsEditor() {
+  if (editorWindow && !editorWindow.isDestroyed()) {
+    if (editorWindow.isMinimized()) editorWindow.restore();
+    editorWindow.show();
+    editorWindow.focus();
+    return;
+  }
+  registerEditorIpc();
+  editorWindow = new BrowserWindow({
+    title: `Keyboard Shortcuts — ${app.getName()}`,
+    width: 640,
+    height: 720,
+    autoHideMenuBar: true,
+    webPreferences: { preload: EDITOR_PRELOAD, contextIsolation: true, nodeIntegration: false, sandbox: true },
+  });
+  editorWindow.on("closed", () => {
+    editorWindow = null;
+  });
+  editorWindow.webContents.setWindowOpenHandler(() => ({ action: "deny" }));
+  editorWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(EDITOR_HTML)}`);
+}
+
+module.exports = {
+  CHANNELS,
+  KEYBINDINGS_FILENAME,
+  normalizeAccelerator,
+  checkBindings,
+  menuAccelerators,
+  afterMenuBuild,
+  openKeybindingsEditor,
+};
@@ -1,3 +1,6 @@
-/* chromium-flags-patch */const{app:__app}=require("electron");__app.commandLine.appendSwitch("enable-gpu-rasterization");__app.commandLine.appendSwitch("enable-zero-copy");__app.commandLine.appendSwitch("ignore-gpu-blocklist");__app.commandLine.appendSwitch("disable-renderer-backgrounding");__app.commandLine.appendSwitch("disable-background-timer-throttling");
+/* i18n-overrides-patch */try{require("./i18n-overrides.js").registerI18nOverrides()}catch(e){console.error("[i18n-overrides] failed to register",e)}
+/* dev-reload-patch */if(process.env.CODEX_DEV_RELOAD)try{require("electron").app.isPackaged||require(process.env.CODEX_DEV_RELOAD).startDevReload()}catch(e){console.error("[dev-reload] failed to start",e)}
+/* branding-patch */try{const{app:a}=require("electron"),p=require("path");if(a.getName()!=="Codex"){a.setName("Codex");if(!process.argv.some(s=>s.startsWith("--user-data-dir")))a.setPath("userData",p.join(a.getPath("appData"),"Codex"))}}catch(e){console.error("[branding] failed to set the app name",e)}
+/* chromium-flags-patch */try{require("./chromium-flags.js").applyChromiumFlags()}catch(e){console.error("[chromium-flags] failed to apply switches",e)}
 "use strict";require("node:fs");require("node:path");require("node:url");require("./main-A5zRgzkr.js");require("electron");require("path");require("child_process");require("node:child_process");require("node:string_decoder");require("node:crypto");require("node:buffer");require("node:os");require("crypto");require("node:net");require("node:fs/promises");
 //# sourceMappingURL=main.js.map
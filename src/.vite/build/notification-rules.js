@@ -0,0 +1,214 @@
+/**
+ * Notification rules: which desktop notifications are shown, and with which
+ * sound (loaded by notifications.js inside Electron's main process)
+ *
+ *   $CODEX_HOME/notifications.json  (CODEX_HOME defaults to ~/.codex)
+ *
+ *   {
+ *     "events": {
+ *       "turn-completed": { "onlyWhenUnfocused": true, "sound": "~/Sounds/done.wav" },
+ *       "approval-needed": { "quietHours": false },
+ *       "automation-finished": { "sound": false },
+ *       "rate-limit-warning": { "threshold": 80 }
+ *     },
+ *     "quietHours": { "start": "22:00", "end": "07:30" },
+ *     "workspaces": {
+ *       "~/src/scratch": { "turn-completed": { "enabled": false } }
+ *     },
+ *     "automations": {
+ *       "nightly-report": { "automation-finished": { "enabled": false } }
+ *     }
+ *   }
+ *
+ * Events: turn-completed, approval-needed, automation-finished,
+ * automation-failed, rate-limit-warning. Each takes:
+ *
+ *   enabled            false: never shown                                 (true)
+ *   sound              true: the app's sound, false: none, or a sound file (true)
+ *   onlyWhenUnfocused  not shown while a Codex window has the focus       (false)
+ *   quietHours         false: shown during quiet hours too                (true)
+ *   threshold          rate-limit-warning only: percent of a limit used   (90)
+ *
+ * Settings merge in this order, later wins: the defaults, "events", the
+ * "workspaces" entry for the deepest folder that contains the thread's cwd,
+ * the "automations" entry of the run's automation id. Quiet hours are local
+ * time and may cross midnight. Problems are reported and the entry skipped.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const RULES_FILENAME = "notifications.json";
+
+const EVENTS = ["turn-completed", "approval-needed", "automation-finished", "automation-failed", "rate-limit-warning"];
+
+const DEFAULTS = { enabled: true, sound: true, onlyWhenUnfocused: false, quietHours: true };
+const RATE_LIMIT_THRESHOLD = 90;
+
+const SETTINGS = {
+  enabled: (v) => typeof v === "boolean",
+  sound: (v) => typeof v === "boolean" || (typeof v === "string" && v.trim() !== ""),
+  onlyWhenUnfocused: (v) => typeof v === "boolean",
+  quietHours: (v) => typeof v === "boolean",
+  threshold: (v) => typeof v === "number" && v > 0 && v <= 100,
+};
+
+const CLOCK = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function codexHome(env = process.env) {
+  return env.CODEX_HOME || path.join(os.homedir(), ".codex");
+}
+
+function expandHome(p) {
+  return p === "~" || p.startsWith("~/") || p.startsWith("~\\") ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// ──────────────────────────────────────────────
+//  Checking
+// ──────────────────────────────────────────────
+
+/** { event: { setting: value } } with the bad parts dropped */
+function checkEvents(value, where, problems) {
+  const events = {};
+  if (value === undefined) return events;
+  if (!isObject(value)) {
+    problems.push(`${where}: expected { "<event>": { … } }`);
+    return events;
+  }
+  for (const [event, settings] of Object.entries(value)) {
+    if (!EVENTS.includes(event)) {
+      problems.push(`${where}.${event}: unknown event (${EVENTS.join(", ")})`);
+      continue;
+    }
+    if (!isObject(settings)) {
+      problems.push(`${where}.${event}: expected { "enabled": …, "sound": … }`);
+      continue;
+    }
+    events[event] = {};
+    for (const [name, v] of Object.entries(settings)) {
+      if (!SETTINGS[name]) problems.push(`${where}.${event}.${name}: unknown setting`);
+      else if (!SETTINGS[name](v)) problems.push(`${where}.${event}.${name}: invalid value ${JSON.stringify(v)}`);
+      else events[event][name] = name === "sound" && typeof v === "string" ? path.resolve(expandHome(v)) : v;
+    }
+  }
+  return events;
+}
+
+function minutes(clock) {
+  const [, h, m] = clock.match(CLOCK);
+  return Number(h) * 60 + Number(m);
+}
+
+function checkQuietHours(value, problems) {
+  if (value === undefined || value === null) return null;
+  if (!isObject(value) || !CLOCK.test(value.start ?? "") || !CLOCK.test(value.end ?? "")) {
+    problems.push(`quietHours: expected { "start": "HH:MM", "end": "HH:MM" }`);
+    return null;
+  }
+  return { start: minutes(value.start), end: minutes(value.end) };
+}
+
+/**
+ * @param {unknown} json  the parsed notifications.json
+ * @returns {{ events: object, quietHours: {start: number, end: number}|null,
+ *   workspaces: {dir: string, events: object}[], automations: Object<string, object>, problems: string[] }}
+ */
+function checkRules(json) {
+  const problems = [];
+  const rules = { events: {}, quietHours: null, workspaces: [], automations: {}, problems };
+  if (!isObject(json)) {
+    problems.push(`${RULES_FILENAME}: expected an object`);
+    return rules;
+  }
+  for (const key of Object.keys(json)) {
+    if (!["events", "quietHours", "workspaces", "automations"].includes(key)) problems.push(`${key}: unknown key`);
+  }
+  rules.events = checkEvents(json.events, "events", problems);
+  rules.quietHours = checkQuietHours(json.quietHours, problems);
+  for (const [section, value] of [["workspaces", json.workspaces], ["automations", json.automations]]) {
+    if (value === undefined) continue;
+    if (!isObject(value)) {
+      problems.push(`${section}: expected { "<${section === "workspaces" ? "folder" : "automation id"}>": { … } }`);
+      continue;
+    }
+    for (const [key, events] of Object.entries(value)) {
+      const checked = checkEvents(events, `${section}["${key}"]`, problems);
+      if (section === "automations") rules.automations[key] = checked;
+      else rules.workspaces.push({ dir: path.resolve(expandHome(key)), events: checked });
+    }
+  }
+  // Deepest folder first
+  rules.workspaces.sort((a, b) => b.dir.length - a.dir.length);
+  return rules;
+}
+
+// ──────────────────────────────────────────────
+//  Loading
+// ──────────────────────────────────────────────
+
+const cache = { file: null, mtimeMs: null, rules: checkRules({}) };
+
+/** The rules from notifications.json, read again when the file changes; `onProblems` gets a fresh load's problems */
+function loadRules(onProblems = () => {}, env = process.env) {
+  const file = path.join(codexHome(env), RULES_FILENAME);
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch {
+    // no file: the defaults
+  }
+  if (file === cache.file && mtimeMs === cache.mtimeMs) return cache.rules;
+  cache.file = file;
+  cache.mtimeMs = mtimeMs;
+  if (mtimeMs === null) {
+    cache.rules = checkRules({});
+  } else {
+    try {
+      cache.rules = checkRules(JSON.parse(fs.readFileSync(file, "utf8")));
+    } catch (err) {
+      cache.rules = checkRules({});
+      cache.rules.problems.push(`ignoring ${file}: ${err.message}`);
+    }
+  }
+  if (cache.rules.problems.length) onProblems(cache.rules.problems.map((p) => `${RULES_FILENAME}: ${p}`));
+  return cache.rules;
+}
+
+// ──────────────────────────────────────────────
+//  Decisions
+// ──────────────────────────────────────────────
+
+const contains = (dir, cwd) => cwd === dir || cwd.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+
+/** The merged settings of `event` for a thread in `cwd` / a run of `automationId` */
+function resolveSettings(rules, event, { cwd = null, automationId = null } = {}) {
+  const settings = { ...DEFAULTS, ...(event === "rate-limit-warning" ? { threshold: RATE_LIMIT_THRESHOLD } : {}) };
+  Object.assign(settings, rules.events[event]);
+  const workspace = typeof cwd === "string" && rules.workspaces.find((w) => contains(w.dir, path.resolve(cwd)));
+  if (workspace) Object.assign(settings, workspace.events[event]);
+  if (automationId != null) Object.assign(settings, rules.automations[automationId]?.[event]);
+  return settings;
+}
+
+function inQuietHours(quietHours, now = new Date()) {
+  if (!quietHours || quietHours.start === quietHours.end) return false;
+  const t = now.getHours() * 60 + now.getMinutes();
+  const { start, end } = quietHours;
+  return start < end ? t >= start && t < end : t >= start || t < end;
+}
+
+/**
+ * The settings to show `event` with, or null when it is not shown
+ * @param {object} context  { cwd, automationId, focused (a Codex window has the focus), now }
+ */
+function decide(rules, event, context = {}) {
+  const settings = resolveSettings(rules, event, context);
+  if (!settings.enabled) return null;
+  if (settings.quietHours && inQuietHours(rules.quietHours, context.now)) return null;
+  if (settings.onlyWhenUnfocused && context.focused) return null;
+  return settings;
+}
+
+module.exports = { RULES_FILENAME, EVENTS, checkRules, loadRules, resolveSettings, inQuietHours, decide };
@@ -1,2 +1,3 @@
 "use strict";const n=require("electron"),g="codex_desktop:show-context-menu",u="codex_desktop:get-sentry-init-options",S="codex_desktop:get-build-flavor",w="codex_desktop:trigger-sentry-test";function M(e){return`codex_desktop:worker:${e}:from-view`}function p(e){return`codex_desktop:worker:${e}:for-view`}const l="electron",f="codex_desktop:message-from-view",v="codex_desktop:message-for-view",_=n.ipcRenderer.sendSync(u),x=n.ipcRenderer.sendSync(S),r=new Map,d=new Map,R={windowType:l,sendMessageFromView:async e=>{await n.ipcRenderer.invoke(f,e)},getPathForFile:e=>{const t=n.webUtils.getPathForFile(e);return t||null},sendWorkerMessageFromView:async(e,t)=>{await n.ipcRenderer.invoke(M(e),t)},subscribeToWorkerMessages:(e,t)=>{let s=r.get(e);s||(s=new Set,r.set(e,s));let o=d.get(e);return o||(o=(i,c)=>{const a=r.get(e);a&&a.forEach(E=>{E(c)})},d.set(e,o),n.ipcRenderer.on(p(e),o)),s.add(t),()=>{const i=r.get(e);if(!i||(i.delete(t),i.size>0))return;r.delete(e);const c=d.get(e);c&&n.ipcRenderer.removeListener(p(e),c),d.delete(e)}},showContextMenu:async e=>n.ipcRenderer.invoke(g,e),triggerSentryTestError:async()=>{await n.ipcRenderer.invoke(w)},getSentryInitOptions:()=>_,getAppSessionId:()=>_.codexAppSessionId,getBuildFlavor:()=>x};n.ipcRenderer.on(v,(e,t)=>{window.dispatchEvent(new MessageEvent("message",{data:t}))});n.contextBridge.exposeInMainWorld("codexWindowType",l);n.contextBridge.exposeInMainWorld("electronBridge",R);
 //# sourceMappingURL=preload.js.map
+/* i18n-overrides-patch */try{const{contextBridge:c,ipcRenderer:r}=require("electron");c.exposeInMainWorld("codexI18nOverrides",r.sendSync("codex_desktop:get-i18n-overrides"))}catch(e){console.error("[i18n-overrides] failed to load overrides",e)}
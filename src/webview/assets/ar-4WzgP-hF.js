@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"نسخ","app.sidebar.hide":"إخفاء الشريط الجانبي","app.sidebar.show":"إظهار الشريط الجانبي","app.sidebar.tooltip":"طي/توسيع الشريط الجانبي","appHeader.installUpdate":"تحديث","appSunset.body":"هذا الإصدار من التطبيق لم يعد مدعومًا. يُرجى تنزيل أحدث إصدار من <here>هنا</here>.","appSunset.title":"التحديث مطلوب","automation.updateDirective.create":"إنشاء","automation.updateDirective.open":"فتح","automation.updateDirective.untitled":"أتمتة بلا عنوان","automation.updateDirective.update":"تحديث","bestOfNIcon.attemptsTooltip":"{attempts, plural, zero {لا توجد محاولات} one {محاولة واحدة} two {محاولتين} few {# محاولات} many {# محاولة} other {# محاولة}}","cloudTaskRow.archiveError":"تعذر أرشفة المهمة","code.diff.requestChange":"طلب تغيير","code.diffComment.cancel":"إلغاء","code.diffComment.comment":"تعليق","code.diffComment.delete":"حذف","code.diffComment.save":"حفظ","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"لم يتم الإبلاغ عن أي نتائج.","codex.alert.closeAriaLabel":"إغلاق","codex.appUpsellBanner.cbpApi.message":"طوّر أعمالك بوتيرة أسرع باستخدام تطبيق Codex. قم بالتنزيل الآن أو {learnMoreLink}.","codex.appUpsellBanner.download":"تنزيل","codex.appUpsellBanner.freeGo.message":"برنامج Codex مشمول في خطتك حتى 2 مارس - جرب تطبيق Codex للبناء بشكل أسرع.","codex.appUpsellBanner.later":"لاحقًا","codex.appUpsellBanner.learnMoreLowercase":"تعرف على المزيد","codex.appUpsellBanner.new":"جديد","codex.appUpsellBanner.proPlusBusiness.message":"جرب تطبيق Codex بحدود استخدام مضاعفة بمعدل مرتين حتى 2 أبريل. قم بالتنزيل الآن أو {learnMoreLink}.","codex.appUpsellBanner.title":"تطبيق Codex","codex.applyDropdown.header.changes":"التغييرات","codex.applyDropdown.header.fileCount":"{count, plural, zero {لا توجد ملفات} one {ملف واحد} two {ملفين} few {# ملفات} many {# ملفًا} other {# ملف}}","codex.applyDropdown.header.rows":"صفوف","codex.applyDropdown.header.title":"تطبيق التغييرات","codex.applyDropdown.header.workspace":"مشروع","codex.applyDropdown.results.conflicted":"{count, plural, zero {لا توجد ملفات متعارضة ({count}):} one {ملف واحد متعارض:} two {ملفين متعارضين ({count}):} few {{count} ملفات متعارضة:} many {{count} ملفًا متعارضًا:} other {{count} ملفٍ متعارضٍ:}}","codex.applyDropdown.results.empty":"لم يتم نسخ أي ملفات","codex.applyDropdown.results.skipped":"{count, plural, zero {لم يتم تجاوز أي ملفات ({count}):} one {تم تجاوز ملف واحد:} two {تم تجاوز ملفين ({count}):} few {تم تجاوز {count} ملفات:} many {تم تجاوز {count} ملفًا:} other {تم تجاوز {count} ملفٍ:}}","codex.applyOrRevertBanner.apply":"تطبيق","codex.applyOrRevertBanner.applyMessage":"هل تريد تطبيق التغييرات والمتابعة داخليًا؟","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"تم إعداد هذه المهمة في {environment}، لذا قد لا تطبق بسهولة.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"تم إجراء التغييرات في {environment}، لذا قد لا تطبق بسهولة.","codex.applyOrRevertBanner.reapply":"إعادة التطبيق","codex.applyOrRevertBanner.revert":"التراجع","codex.applyOrRevertBanner.revertMessage":"هل تريد التراجع عن التغييرات التي تم تطبيقها؟","codex.applyResultsDialog.applied":"تم التطبيق بسهولة ({count})","codex.applyResultsDialog.close":"إغلاق","codex.applyResultsDialog.conflicted":"متعارض ({count})","codex.applyResultsDialog.noDetails":"لا توجد تفاصيل متاحة للملف.","codex.applyResultsDialog.skipped":"تم التخطي ({count})","codex.applyResultsDialog.title":"تطبيق النتائج","codex.archiveInfo":"عرض الدردشات المؤرشفة في {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"عناصر التحكم في البيانات","codex.archiveInfo.electron":"عرض الدردشات المؤرشفة في {settingsLink}","codex.archiveInfo.extension":"عرض الدردشات المؤرشفة في .codex folder. الخاص بك","codex.archiveInfo.settingsLink":"الإعدادات","codex.banner.content.description":"تنفيذ المهام بالتوازي، وتتبع التقدم في أي مكان، ومراجعة طلبات السحب باستخدام الذكاء الاصطناعي.","codex.banner.content.headline":"يقوم Codex بكل شيء.","codex.cloudTaskRow.archiveTask":"أرشفة المهمة","codex.cloudTaskRow.confirmArchiveTask":"تأكيد","codex.command.feedback":"الملاحظات","codex.command.findInThread":"البحث عن","codex.command.forceReloadSkills":"إعادة تحميل المهارات بالقوة","codex.command.logOut":"تسجيل الخروج","codex.command.manageTasks":"إدارة المهام","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"رجوع","codex.command.navigateForward":"التالي","codex.command.newThread":"سلسلة رسائل جديدة","codex.command.nextThread":"سلسلة الرسائل التالية","codex.command.openFolder":"فتح مجلد","codex.command.openSkills":"الانتقال إلى المهارات","codex.command.openThreadOverlay":"سلسلة رسائل منبثقة","codex.command.personalitySettings":"شخصية","codex.command.previousThread":"سلسلة الرسائل السابقة","codex.command.settings":"الإعدادات","codex.command.toggleDiffPanel":"تبديل لوحة الاختلافات","codex.command.toggleSidebar":"طي/توسيع الشريط الجانبي","codex.command.toggleTerminal":"تبديل الوحدة الطرفية","codex.commandGroup.app":"التطبيق","codex.commandGroup.configure":"تكوين","codex.commandGroup.navigation":"التنقل","codex.commandGroup.panels":"اللوحات","codex.commandGroup.skills":"المهارات","codex.commandGroup.thread":"سلسلة رسائل","codex.commandGroup.workspace":"مشروع","codex.commandMenu.noResults":"لا توجد أي نتائج مطابقة","codex.commandMenu.searchPlaceholder":"بحث في الأوامر","codex.commandMenu.suggestedGroup":"مقترح","codex.commandMenu.switchWorkspace":"تبديل المشروع","codex.commandMenu.title":"قائمة الأوامر","codex.common.retry":"إعادة المحاولة","codex.composer.searchBranches":"البحث في الفروع","codex.dialog.basic.body":"هذا مربع حوار مبسط مبني على نسخة مخصصة من Radix Dialog.","codex.dialog.basic.cancel":"إلغاء","codex.dialog.basic.confirm":"تأكيد","codex.dialog.basic.open":"فتح مربع الحوار","codex.dialog.basic.title":"نموذج مربع حوار","codex.dialog.long.close":"إغلاق","codex.dialog.long.line":"سطر قابل للتمرير {index} للتنقل في محتوى أكبر من مربع الحوار.","codex.dialog.long.open":"فتح مربع حوار طويل","codex.dialog.long.title":"مربع حوار لمحتوى كبير","codex.dialog.unstyled.body":"توضح هذه القصة كيف يمكن للمستدعين التحكم الكامل في تنسيق محتوى مربع الحوار.","codex.dialog.unstyled.open":"فتح مربع حوار غير منسق","codex.dialog.unstyled.title":"محتوى غير منسق","codex.diff.openInEditorPrompt.openButton":'فتح في نافذة "التحرير"',"codex.diff.openInEditorPrompt.singleLine":"هذا الملف كبير جدا بحيث لا يمكن عرضه هنا.","codex.diffView.failedToDecodeBase64Diff":"تعذر فك تشفير الاختلافات بطريقة الترميز base64","codex.diffView.filesChanged":"{fileCount, plural, zero {لم يتم تغيير أي ملفات} one {تم تغيير ملفًا واحدًا} two {تم تغيير ملفين} few {تم تغيير # ملفات} many {تم تغيير # ملفًا} other {تم تغيير # ملف}}","codex.diffView.imagePreviewAlt":"معاينة الصورة","codex.diffView.imagePreviewEmpty":"لا توجد صورة","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"لا تتوفر بيانات للاختلافات","codex.diffView.pdfPreview.nextPage":"الصفحة التالية","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"الصفحة السابقة","codex.diffView.pdfPreviewEmpty":"لا توجد معاينة PDF","codex.diffView.pdfPreviewError":"تعذر عرض معاينة ملف PDF","codex.diffView.richPreviewDisable":"تعطيل المعاينة المتقدمة","codex.diffView.richPreviewEnable":"تمكين المعاينة المتقدمة","codex.diffView.richPreviewLoading":"جاري تحميل المعاينة…","codex.diffView.richPreviewToggle":"تبديل المعاينة المتقدمة","codex.diffView.switchToUnified":"التبديل إلى الاختلافات الموحدة","codex.environmentSelector.noEnvironment":"لا توجد بيئات","codex.environments.environmentSettings":"إعدادات البيئة","codex.environments.learnMore":"تعرف على المزيد","codex.environments.listError":"تعذر تحميل البيئات.","codex.environments.noEnvironmentsFound":"لم يتم العثور على أي بيئات","codex.environments.searchError":"تعذر البحث في البيئات.","codex.errorBoundary.genericError":"لقد حدث خطأ","codex.errorBoundary.goHome":"أعد المحاولة","codex.file.patch.missing":"تعذر برمجة تعديل لهذا الملف.","codex.gallery.automations.cwdLabel":"المشروعات","codex.gallery.automations.nameLabel":"الاسم","codex.gallery.automations.namePlaceholder":"تلخيص مهمة","codex.gallery.automations.promptLabel":"أمر","codex.gallery.automations.promptPlaceholder":"وصف ما يجب أن يفعله Codex","codex.gallery.dialogs.automation.label":"مربع حوار الأتمتة","codex.gallery.dialogs.basic.body":"استخدم هذا التخطيط للتأكيدات المباشرة أو النماذج القصيرة.","codex.gallery.dialogs.basic.cancel":"إلغاء","codex.gallery.dialogs.basic.confirm":"تأكيد","codex.gallery.dialogs.basic.label":"مربع حوار أساسي","codex.gallery.dialogs.basic.title":"نموذج مربع حوار","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"قم بوصف المشكلة","codex.gallery.dialogs.feedbackSubmission.bad":"نتيجة سيئة","codex.gallery.dialogs.feedbackSubmission.bug":"خطأ برمجي","codex.gallery.dialogs.feedbackSubmission.good":"نتيجة جيدة","codex.gallery.dialogs.feedbackSubmission.includeLogs":"تضمين سجلات جلسة Codex الحالية","codex.gallery.dialogs.feedbackSubmission.label":"إرسال الملاحظات","codex.gallery.dialogs.feedbackSubmission.other":"غير ذلك","codex.gallery.dialogs.feedbackSubmission.placeholder":"قم بوصف المشكلة هنا","codex.gallery.dialogs.feedbackSubmission.submit":"إرسال","codex.gallery.dialogs.feedbackSubmission.title":"الملاحظات","codex.gallery.dialogs.feedbackSuccess.body":"تم تحميل الملاحظات. إذا استمرت المشكلة، يرجى فتح مشكلة في GitHub أو ذكر معرّف سلسلة الرسائل في مشكلة مفتوحة حالياً:","codex.gallery.dialogs.feedbackSuccess.dismiss":"إغلاق","codex.gallery.dialogs.feedbackSuccess.label":"نجاح الملاحظات","codex.gallery.dialogs.feedbackSuccess.title":"تم تحميل الملاحظات","codex.gallery.dialogs.gitApplyResults.applied":"تم التطبيق بسهولة (2)","codex.gallery.dialogs.gitApplyResults.close":"إغلاق","codex.gallery.dialogs.gitApplyResults.conflicted":"متعارض (1)","codex.gallery.dialogs.gitApplyResults.label":"تطبيق النتائج","codex.gallery.dialogs.gitApplyResults.title":"تطبيق النتائج","codex.gallery.dialogs.gitPushError.body":"اسحب أحدث التغييرات أو استخدم الإرسال القسري إذا كنت تعلم أن سجل التغييرات البعيد آمن للاستبدال.","codex.gallery.dialogs.gitPushError.cancel":"إلغاء","codex.gallery.dialogs.gitPushError.force":"الإرسال القسري","codex.gallery.dialogs.gitPushError.label":"خطأ في الإرسال","codex.gallery.dialogs.gitPushError.subtitle":"الفرع الخاص بك متأخر عن الفرع الأصلي/الرئيسي","codex.gallery.dialogs.gitPushError.title":"تعذر إرسال التغييرات","codex.gallery.dialogs.gitRevert.cancel":"إلغاء","codex.gallery.dialogs.gitRevert.confirm":"التراجع","codex.gallery.dialogs.gitRevert.label":"تراجع عن التغييرات","codex.gallery.dialogs.gitRevert.skip":"لا تسألني مرة أخرى","codex.gallery.dialogs.gitRevert.subtitle":"يؤدي هذا الإجراء إلى إزالة جميع هذه التغييرات.","codex.gallery.dialogs.gitRevert.title":"هل تريد التراجع عن التغييرات؟","codex.gallery.dialogs.longForm.label":"مربع حوار طويل","codex.gallery.dialogs.proseModal.body":"يُستخدم نمط النافذة المنبثقة هذا لعرض التعليمات المطولة أو عمليات التهيئة، أو كتل محتوى غنية.","codex.gallery.dialogs.proseModal.close":"إغلاق","codex.gallery.dialogs.proseModal.subtitle":"شارك الإرشادات المطولة أو الوثائق هنا.","codex.gallery.dialogs.proseModal.title":"نافذة نصية منبثقة","codex.gallery.dialogs.submitBlocked.label":"الإرسال محظور","codex.gallery.dialogs.submitBlocked.message":"تعذّر إرسال رسالتك لأن المشروع غير متاح.","codex.gallery.dialogs.submitBlocked.ok":"موافق","codex.gallery.dialogs.submitBlocked.title":"تعذر إرسال الرسالة","codex.gallery.dialogs.title":"مربعات الحوار","codex.gallery.dropdown.filterPlaceholder":"تصفية العناصر","codex.gallery.dropdowns.actionRow":"صفوف الإجراءات","codex.gallery.dropdowns.actionRow.disabled":"إجراء معطّل","codex.gallery.dropdowns.actionRow.primary":"الإجراء الأولي","codex.gallery.dropdowns.actionRow.secondary":"الإجراء الثانوي","codex.gallery.dropdowns.actionRow.trigger":"عرض الإجراءات","codex.gallery.dropdowns.basic":"قائمة منسدلة أساسية","codex.gallery.dropdowns.basic.newFile":"ملف جديد","codex.gallery.dropdowns.basic.newFolder":"مجلد جديد","codex.gallery.dropdowns.basic.openSettings":"فتح الإعدادات","codex.gallery.dropdowns.basic.title":"إجراءات سريعة","codex.gallery.dropdowns.basic.trigger":"فتح القائمة","codex.gallery.dropdowns.basic.upload":"تحميل","codex.gallery.dropdowns.panel":"واجهة اللوحة","codex.gallery.dropdowns.panel.apply":"تطبيق","codex.gallery.dropdowns.panel.body":"مراجعة التغييرات وتطبيقها على المشروع.","codex.gallery.dropdowns.panel.preview":"معاينة","codex.gallery.dropdowns.panel.title":"تطبيق التغييرات","codex.gallery.dropdowns.panel.trigger":"فتح اللوحة","codex.gallery.dropdowns.search":"قائمة منسدلة قابلة للبحث","codex.gallery.dropdowns.search.first":"قناة الإصدار التجريبي Alpha","codex.gallery.dropdowns.search.second":"فرع تجريبي Beta","codex.gallery.dropdowns.search.third":"مرشح الإصدار","codex.gallery.dropdowns.search.trigger":"تصفية العناصر","codex.gallery.dropdowns.submenu":"قائمة منسدلة مع قائمة فرعية","codex.gallery.dropdowns.submenu.optionA":"مشروع ألفا","codex.gallery.dropdowns.submenu.optionB":"مشروع بيتا","codex.gallery.dropdowns.submenu.optionC":"مشروع جاما","codex.gallery.dropdowns.submenu.primary":"تعيين المالك","codex.gallery.dropdowns.submenu.secondary":"نقل إلى","codex.gallery.dropdowns.submenu.tertiary":"أرشفة","codex.gallery.dropdowns.submenu.trigger":"اختر إجراءً","codex.gallery.dropdowns.title":"قوائم منسدلة","codex.gallery.inbox.automations.close":"إغلاق","codex.gallery.inbox.automations.popover.cardTitle":"إدارة عمليات الأتمتة","codex.gallery.inbox.automations.popover.dialogTitle":"إدارة عمليات الأتمتة","codex.header.settingsTooltip":"الإعدادات","codex.hunk.patch.error":"تعذر التجهيز","codex.hunk.patch.missing":"تعذر برمجة تعديل لهذا الجزء من التعليمات البرمجية.","codex.hunk.patch.partialSuccess":"نجاح جزئي","codex.hunk.patch.revertError":"تعذر إلغاء التجهيز","codex.hunk.patch.revertSuccess":"تم إلغاء التجهيز بنجاح","codex.hunk.patch.success":"تم التجهيز بنجاح","codex.legal.autonomy.details":"لمزيد من التفاصيل، راجع {link}","codex.legal.autonomy.details.link":"مستندات Codex","codex.legal.autonomy.title":"حدد مستوى الصلاحيات التي تريد منحها","codex.legal.backButton":"رجوع","codex.legal.cloud.taskOne.meta":"openai/agi‏ · 12 أكتوبر","codex.legal.cloud.taskOne.title":"توضيح قاعدة البيانات للمصمم الجديد","codex.legal.cloud.taskThree.meta":"openai/codex‏ · 8 أكتوبر","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"إنشاء الوضع الداكن","codex.legal.cloud.taskTwo.meta":"openai/agi‏ · 9 أكتوبر","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"إصلاح خطأ برمجي في عملية التهيئة","codex.legal.continue.apikey":"متابعة","codex.legal.continueButton":"التالي","codex.legal.copilot.details":"يستخدم خطة Copilot الخاصة بك لجميع عمليات استدعاء النماذج والفواتير وحدود الاستخدام. ويخضع استخدام المكون الإضافي لـ Codex لكل من {oaiTos} و {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"شروط الخدمة الخاصة بـ GitHub","codex.legal.copilot.oaiTosLink":"شروط الخدمة الخاصة بـ OpenAI Codex","codex.legal.copilot.title":"مدعوم بواسطة GitHub Copilot","codex.legal.mistakes.review":"راجع التعليمات البرمجية التي يكتبها والأوامر التي ينفذها","codex.legal.mistakes.title":"يمكن أن يصدر عن Codex بعض الأخطاء","codex.legal.powered.details":"يستخدم حدود الاستخدام لخطتك و {link}","codex.legal.powered.details.link":"تفضيلات بيانات التدريب","codex.legal.powered.title":"مدعوم بواسطة حسابك على ChatGPT","codex.legal.step.cloud.subtitle":"أرسل المهام إلى Codex لتنفيذها في الخلفية وبذلك تحافظ على تركيزك وتنجز أسرع.","codex.legal.step.cloud.title":"النقل إلى Codex على السحابة","codex.legal.step.intro.subtitle":"Codex يتنقل ويحرر وينفذ الأوامر ويجري الاختبارات مباشرة في قاعدة بياناتك. مدعوم بواسطة حسابك على ChatGPT.","codex.legal.step.intro.title":"Codex في بيئة التطوير المدمجة (IDE) الخاصة بك","codex.legal.step.todo.subtitle":"اكتب تعليق TODO وحوله إلى مهمة Codex بنقرة واحدة.","codex.legal.step.todo.title":"تحويل تعليقات TODO إلى مهام Codex","codex.legal.todo.heading":"// TODO: تنفيذ المخطط","codex.localConversation.closeImagePreview":"غلق معاينة الصورة","codex.localConversation.userImageAttachment":"مرفقات المستخدم","codex.localTaskRow.archiveTask":"أرشفة سلسلة الرسائل","codex.localTaskRow.awaitingApproval":"في انتظار الموافقة","codex.localTaskRow.awaitingResponse":"في انتظار الرد","codex.localTaskRow.confirmArchiveTask":"تأكيد","codex.loggedOut.apiKeyPrompt.cancel":"إلغاء","codex.loggedOut.apiKeyPrompt.confirm":"موافق","codex.loggedOut.apiKeyPrompt.getKey":"الحصول على مفتاح API","codex.loggedOut.apiKeyPrompt.inputLabel":"أدخل مفتاح OpenAI API الخاص بك","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"تم إيقاف مهام السحابة باستخدام مفتاح API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"تم إيقاف مهام السحابة عند استخدام Copilot ومفتاح API","codex.loggedOut.signIn":"تسجيل الدخول باستخدام ChatGPT","codex.loggedOut.signIn.cancel":"إلغاء تسجيل الدخول","codex.loggedOut.signInWithCopilot":"تسجيل الدخول باستخدام GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"استخدام مفتاح API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"أداة {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"تم الاستدعاء","codex.mcpTool.collapsedLabel.verb.calling":"جاري الاستدعاء","codex.mcpTool.embeddedResource.contentLabel":"المحتوى","codex.mcpTool.embeddedResource.mimeTypeLabel":"نوع بروتوكول MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"لم تُرجع الأداة أي محتوى","codex.mcpTool.rawPayloadHeading":"بيانات استدعاء {server}.{tool}غير المعالجة","codex.menu.recent":"الأحدث","codex.menu.seeAllHistory":"عرض السجل بالكامل","codex.modelCapacityBanner.headline.noReset":"النموذج {modelName} بلغ الحد الأقصى من السعة في الوقت الراهن. يُرجى المحاولة لاحقًا أو بدء محادثة جديدة باستخدام نموذج آخر.","codex.modelCapacityBanner.headline.withReset":"النموذج {modelName} بلغ الحد الأقصى من السعة في الوقت الراهن. يُرجى إعادة المحاولة بعد {resetDate}، أو بدء محادثة جديدة باستخدام نموذج آخر.","codex.modelCapacityBanner.title":"النموذج الذي تم اختياره بلغ الحد الأقصى من السعة","codex.patch.change.contentsDeleted":"تم حذف المحتويات","codex.patch.change.created":"تم الإنشاء","codex.patch.change.created-file":"تم إنشاء الملف","codex.patch.change.creating":"جاري الإنشاء","codex.patch.change.deleted":"تم الحذف","codex.patch.change.deleted-file":"تم حذف الملف","codex.patch.change.deleting":"جاري الحذف","codex.patch.change.edited":"تم التحرير","codex.patch.change.edited-file":"ملف مًحرر","codex.patch.change.editing":"جاري التحرير","codex.patch.change.noChanges":"لا توجد تغييرات","codex.patch.change.rejected-add":"مرفوض","codex.patch.change.rejected-delete":"مرفوض","codex.patch.change.rejected-edit":"مرفوض","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"تم إكمال {completed} مهمة من أصل {total}","codex.plan.todoListCreated":"تم إنشاء قائمة المهام باستخدام {total} مهام","codex.profileDropdown.apiKeyAuth":"تم تسجيل الدخول باستخدام مفتاح API","codex.profileDropdown.codexSettings":"إعدادات Codex","codex.profileDropdown.copilotAuth":"تم تسجيل الدخول باستخدام Copilot","codex.profileDropdown.defaultAccountTitle":"الحساب الافتراضي","codex.profileDropdown.enterBehavior":"اضغط على مفتاحي {modifierSymbol} و Enter لإرسال طلبات طويلة","codex.profileDropdown.enterBehaviorError":"تعذر تحديث الإعدادات","codex.profileDropdown.getPlus":"الترقية لحدود أعلى","codex.profileDropdown.keyboardShortcuts":"اختصارات لوحة المفاتيح","codex.profileDropdown.language":"اللغة","codex.profileDropdown.languageDefault":"اكتشاف تلقائي","codex.profileDropdown.languageSearchPlaceholder":"بحث في اللغات","codex.profileDropdown.languageUpdateError":"تعذر تحديث اللغة","codex.profileDropdown.logOut":"تسجيل الخروج","codex.profileDropdown.mcp":"إعدادات MCP","codex.profileDropdown.openConfigToml":"فتح config.toml","codex.profileDropdown.openConfigToml.wsl":"فتح config.toml في بيئة WSL","codex.profileDropdown.openExtensionSettings":"فتح الإعدادات","codex.profileDropdown.openMcpSettings":"فتح إعدادات MCP","codex.profileDropdown.openOnStartup":"فتح عند بدء التشغيل","codex.profileDropdown.openOnStartupError":"تعذر تحديث الإعدادات","codex.profileDropdown.openSkillsSettings":"فتح إعدادات المهارات","codex.profileDropdown.personalAccountTitle":"حساب شخصي","codex.profileDropdown.queueFollowUps":"إضافة المتابعات إلى قائمة الانتظار","codex.profileDropdown.queueFollowUpsError":"تعذر تحديث الإعدادات","codex.profileDropdown.readDocs":"قراءة المستندات","codex.profileDropdown.readSkillsDocs":"قراءة المستندات","codex.profileDropdown.runInWsl":"بدء التشغيل في WSL","codex.profileDropdown.runInWslError":"تعذر تحديث الإعدادات","codex.profileDropdown.runInWslTooltip":"تشغيل Codex داخل بيئة WSL. ويوصى باستخدامه لتعزيز أمان بيئة الاختبار وتحقيق أداء أعلى.","codex.profileDropdown.settings":"إعدادات بيئة التطوير المدمجة","codex.profileDropdown.settingsPage":"الإعدادات","codex.profileDropdown.signInWithOpenAI":"تسجيل الدخول باستخدام ChatGPT","codex.profileDropdown.skills":"إعدادات المهارات","codex.profileDropdown.switchToCopilotAccount":"استخدام حساب Copilot","codex.profileDropdown.switchToOpenAIAccount":"استخدام حساب OpenAI","codex.profileDropdown.todoCodelens":"إصلاح تعليقات TODO","codex.profileDropdown.todoCodelensError":"تعذر تحديث الإعدادات","codex.profileDropdown.windowsDocumentation":"وثائق Windows","codex.profileFooter.signedInFallback":"الإعدادات","codex.profileFooter.upgrade":"الترقية","codex.recentTasksMenu.clearSearch":"مسح البحث","codex.recentTasksMenu.cloud":"مهام السحابة","codex.recentTasksMenu.count":"{count, plural, =0 {لا توجد مهام قيد التنفيذ} zero {لا توجد مهام قيد التنفيذ (#)} one {مهمة واحدة قيد التنفيذ (#)} two {مهمتان قيد التنفيذ (#)} few {# مهام قيد التنفيذ} many {# مهمة قيد التنفيذ} other {# مهمة قيد التنفيذ}}","codex.recentTasksMenu.empty":"لا توجد سلاسل رسائل حتى الآن","codex.recentTasksMenu.errorCloud":"تعذر تحميل المهام.","codex.recentTasksMenu.errorCloud.inline":"تعذر تحميل مهام السحابة.","codex.recentTasksMenu.filterAll":"الكل","codex.recentTasksMenu.filterCloudTasks":"تصفية مهام السحابة","codex.recentTasksMenu.filterTooltip":"تصفية المهام حسب البيئة","codex.recentTasksMenu.local":"المهام الداخلية","codex.recentTasksMenu.recent":"جميع المهام","codex.recentTasksMenu.search":"البحث في المهام الأخيرة","codex.recentTasksMenu.searchEmpty":"لا توجد نتائج","codex.recentTasksMenu.tooltip":"سجل المهام","codex.recentTasksMenu.trigger":"المهام الأخيرة. {count, plural, zero {# قيد التنفيذ} one {# قيد التنفيذ} two {# قيد التنفيذ} few {# قيد التنفيذ} many {# قيد التنفيذ} other {# قيد التنفيذ}}","codex.remoteConversation.applyDiff.applyCta":"تطبيق التغييرات","codex.remoteConversation.applyDiff.dropdownTitle":"تطبيق التغييرات على فرع داخلي","codex.remoteConversation.applyDiff.revertCta":"تراجع عن التغييرات","codex.remoteConversation.closeImagePreview":"غلق معاينة الصورة","codex.remoteConversation.codexCloudTask":"أنت تستعرض <u>مهمة Codex</u> الموجودة على السحابة","codex.remoteConversation.errorWithMessage":"خطأ: {message}","codex.remoteConversation.loadingImage":"جاري تحميل الصورة","codex.remoteConversation.openInWeb":"فتح في الويب","codex.remoteConversation.streaming":"البدء","codex.remoteConversation.turnFailed":"حدث خطأ أثناء تنفيذ هذه المهمة","codex.remoteConversation.turnTab.loading":"المحاولة {number}","codex.remoteConversation.turnTab.title":"المحاولة {number}","codex.remoteConversation.userImageAttachment":"مرفقات المستخدم","codex.remoteConversation.viewPreviousTurns":"فتح في الويب","codex.remoteConversation.viewPreviousTurns.buttonText":"فتح","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"فتح في الويب","codex.review.copyGitApplyCommand":"انسخ أمر تطبيق git","codex.review.copyGitApplyCommand.toast":"تم نسخ أمر تطبيق git إلى الحافظة","codex.review.diffTooLarge.description":"هذا الفرق كبير جدًا بحيث لا يمكن عرضه في قسم المراجعة.","codex.review.diffTooLarge.title":"الفروقات كبيرة جداً بحيث لا يمكن عرضها","codex.review.expandOrCollapseDiffButton.collapse":"طي كل الاختلافات","codex.review.expandOrCollapseDiffButton.expand":"توسيع كل الاختلافات","codex.review.expandOrCollapseDiffMenu.collapse":"طي كل الاختلافات","codex.review.expandOrCollapseDiffMenu.expand":"توسيع كل الاختلافات","codex.review.fileSearch.clear":"مسح عامل تصفية الملفات","codex.review.fileSearch.empty":"لا توجد ملفات تطابق عامل التصفية الحالي.","codex.review.fileSearch.label":"تصفية الملفات","codex.review.fileSearch.placeholder":"جارِ تصفية الملفات…","codex.review.filesChanged":"{num, plural, =0 {لم يتم تغيير أي ملفات} zero {لم يتم تغيير أي ملفات} one {تم تغيير ملف واحد} two {تم تغيير ملفين} few {تم تغيير # ملفات} many {تم تغيير # ملفًا} other {تم تغيير # ملف}}","codex.review.find.loadMore":"عرض المزيد من النتائج المتطابقة","codex.review.fullReview.hideFileTree":"إخفاء شجرة الملفات","codex.review.fullReview.showFileTree":"إظهار شجرة الملفات","codex.review.header.moreOptions":"خيارات المعاينة","codex.review.largeDiff.banner":"تم اكتشاف اختلاف كبير - يتم عرض ملف واحد في كل مرة.","codex.review.loadFullFiles.disable":"عدم تحميل الملفات كاملة","codex.review.loadFullFiles.enable":"تحميل الملفات كاملة","codex.review.noDiff":"ستظهر تغييرات الملف هنا","codex.review.noDiff.gitInit.createRepository":"إنشاء قاعدة بيانات Git","codex.review.noDiff.gitInit.creating":"جاري الإنشاء...","codex.review.noDiff.gitInit.error":"تعذر تهيئة Git: {message}","codex.review.noDiff.gitInit.success":"تم إنشاء قاعدة بيانات Git","codex.review.noDiff.gitRepoRequired.description":"تتبع التغييرات والتراجع عنها في المشروع","codex.review.noDiff.gitRepoRequired.title":"إنشاء قاعدة بيانات Git","codex.review.noDiff.orNoLongerAvailable":"أو أن الاختلافات الأخيرة لم تعد متوفرة","codex.review.noDiff.reverted":"تم التراجع عن آخر محاولة","codex.review.noDiff.revertedOrCommitted":"تم التراجع عن آخر محاولة أو حفظها","codex.review.refreshGitQueries":"تنشيط","codex.review.revert.file.error":"تعذر إعادة {path}","codex.review.revert.file.partialSuccess":"تم إعادة {path} جزئيًا","codex.review.revert.file.success":"تم إعادة {path}","codex.review.revert.hunk.error":"تعذر التراجع عن التعديلات {hunkNumber} في {path}","codex.review.revert.hunk.partialSuccess":"تم التراجع عن التعديلات {hunkNumber} جزئيًا في {path}","codex.review.revert.hunk.success":"التعديلات التي تم التراجع عنها {hunkNumber} في {path}","codex.review.revert.section.error":"تعذر استعادة القسم","codex.review.revert.section.partialSuccess":"تم استعادة القسم جزئيًا","codex.review.revert.section.success":"تم استعادة القسم","codex.review.revertDialog.cancel":"إلغاء","codex.review.revertDialog.confirm":"تأكيد","codex.review.revertDialog.message":"يؤدي هذا الإجراء إلى إزالة جميع هذه التغييرات.","codex.review.revertDialog.skip":"لا تسألني مرة أخرى","codex.review.revertDialog.title":"هل تريد التراجع عن التغييرات؟","codex.review.richPreview.disable":"تعطيل المعاينة المتقدمة","codex.review.richPreview.enable":"تمكين المعاينة المتقدمة","codex.review.source.cloud":"التغييرات على السحابة","codex.review.source.local.all":"جميع تغييرات الفروع","codex.review.source.local.lastTurn":"التغييرات في آخر دور","codex.review.source.local.uncommitted":"التغييرات غير المحفوظة","codex.review.source.worktree":"تغييرات غير محفوظة في مساحة العمل الموازية","codex.review.stageFilter.empty.staged.description":"اقبل التعديلات لتجهيزها للمرحلة التالية","codex.review.stageFilter.empty.staged.title":"لا توجد تغييرات مرحلية","codex.review.stageFilter.empty.unstaged.description":"ستظهر تغييرات الكود هنا","codex.review.stageFilter.empty.unstaged.title":"لا توجد تغييرات غير مرحلية","codex.review.stageFilter.staged":"مجهزة","codex.review.stageFilter.staged.count":"مجهزة · {count}","codex.review.stageFilter.unstaged":"غير مجهزة","codex.review.stageFilter.unstaged.count":"غير مجهزة · {count}","codex.review.switchToSplit":"تبديل لعرض تقسيم الاختلافات","codex.review.switchToUnified":"التبديل إلى الاختلافات الموحدة","codex.review.toggleDiffView":"التبديل بين طرق عرض الاختلافات","codex.review.wordDiffs.disable":"تعطيل اختلافات الكلمات","codex.review.wordDiffs.enable":"تفعيل اختلافات الكلمات","codex.review.wrap.disable":"تعطيل التفاف الكلمات","codex.review.wrap.enable":"تمكين التفاف الكلمات","codex.section.patch.missing":"تعذر برمجة تعديل لهذا القسم.","codex.shell.collapse":"طي shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"تم نسخ محتويات shell","codex.shell.copy.copyTooltip":"نسخ محتويات shell","codex.shell.copyCommand":"نسخ الأمر","codex.shell.copyOutput":"نسخ المخرجات","codex.shell.cwdLabel":"دليل العمل الحالي","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"توسيع shell","codex.shell.name":"Shell","codex.shell.noOutput":"لا توجد نتيجة","codex.signInFailed.message":"تعذر تسجيل الدخول: {rawMessage}","codex.stories.toast.show":"إظهار الإشعار المنبثق","codex.stories.tooltip.basic":"هذا هو التلميح الخاص بالأداة","codex.stories.tooltip.hoverMe":"مرر المؤشر هنا","codex.stories.tooltip.largerOffset":"يحتوي تلميح الأداة هذا على إزاحة أكبر","codex.stories.tooltip.offsetButton":"إزاحة أكبر","codex.stories.tooltip.shortcutButton":"مع اختصار","codex.stories.tooltip.withShortcut":"تبديل الوحدة الطرفية","codex.taskRow.title":"سلسلة رسائل جديدة","codex.taskRowLayout.confirm":"تأكيد","codex.threadFindBar.chatFilter":"البحث في الدردشات","codex.threadFindBar.close":"إغلاق البحث","codex.threadFindBar.diffFilter":"البحث في الاختلافات","codex.threadFindBar.label":"البحث في سلسلة الرسائل","codex.threadFindBar.nextResult":"النتيجة التالية","codex.threadFindBar.noResults":"0 نتيجة","codex.threadFindBar.placeholder":"البحث في سلسلة الرسائل","codex.threadFindBar.placeholder.extension":"البحث في سلسلة الرسائل","codex.threadFindBar.placeholder.review":"جارِ البحث في الاختلافات...","codex.threadFindBar.placeholder.review.extension":"جارِ البحث في الاختلافات...","codex.threadFindBar.previousResult":"النتيجة السابقة","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, zero {لم يتم تغيير أي ملف} one {تم تغيير ملف واحد} two {تم تغيير ملفين} few {تم تغيير # ملفات} many {تم تغيير # ملفًا} other {تم تغيير # ملف}}","codex.unifiedDiff.inlineLargeFile":"كبير جدًا لعرضه مضمنًا","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"تراجع","codex.unifiedDiff.revertPatchError":"تعذر التراجع عن التغييرات","codex.unifiedDiff.revertPatchSuccess":"تم التراجع عن التغييرات","codex.unifiedDiff.reviewChangesSuffix":"التغييرات","codex.unifiedDiff.reviewShort":"مراجعة","codex.unifiedDiff.viewDiffTooltip":"مراجعة","codex.upsellBanner.business.headline":"للتمتع بالمزيد من إمكانية الاستخدام الآن، أرسل طلبًا إلى المسؤول الخاص بك، أو انتظر حتى {resetDate}.","codex.upsellBanner.cbp.headline":"للتمتع بالمزيد من إمكانية الاستخدام الآن، أرسل طلبًا إلى المسؤول الخاص بك.","codex.upsellBanner.cta.addCredits":"إضافة أرصدة","codex.upsellBanner.cta.upgradeAccount":"الترقية","codex.upsellBanner.cta.viewUsage":"عرض الاستخدام","codex.upsellBanner.free.trialHeadline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}. لمتابعة استخدام Codex والوصول إلى GPT-5.3-Codex، ابدأ تجربتك المجانية لخدمة Plus اليوم.","codex.upsellBanner.freeOrGo.headline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}. لمتابعة استخدام Codex، قم بالترقية إلى Plus اليوم.","codex.upsellBanner.general.headline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}.","codex.upsellBanner.general.title":"نفدت رسائل Codex لديك","codex.upsellBanner.go.trialHeadline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}. لمتابعة استخدام Codex، ابدأ تجربتك المجانية لخدمة Plus اليوم.","codex.upsellBanner.plus.headline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}. لمتابعة استخدام Codex، أضف رصيدًا أو قم بالترقية إلى Pro اليوم.","codex.upsellBanner.pro.headline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}. أضف رصيدًا لمتابعة استخدام Codex الآن.","codex.userMessage.autoResolveSync":"حل التعارضات تلقائيًا","codex.userMessage.commentCount":"{count, plural, zero {لا توجد تعليقات} one {تعليق واحد} two {# تعليق} few {# تعليق} many {# تعليق} other {# تعليق}}","codex.userMessage.copiedAriaLabel":"تم النسخ","codex.userMessage.copiedTooltip":"تم النسخ","codex.userMessage.copyAriaLabel":"نسخ الرسالة","codex.userMessage.copyTooltip":"نسخ","codex.userMessage.implementPlan":"تنفيذ الخطة","codex.userMessage.noContent":"(لا يوجد محتوى)","codex.userMessage.priorConversation":"الإشارة إلى المحادثة السابقة","codex.userMessage.reviewMode":"وضع المراجعة","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"لـ {query}","codex.webSearch.summary.verb.completed":"تم البحت في الويب","codex.webSearch.summary.verb.inProgress":"جارٍ البحث في الويب","codex.windowsInstallWslBanner.dismiss":"تجاهل","codex.windowsInstallWslBanner.installWslCta":"تمكين بيئة الاختبار المعزولة","codex.windowsInstallWslBanner.learnMore":"تعرف على المزيد","codex.windowsSandboxBanner.content":"يستخدم وضع الوكيل بيئة الاختبار المعزولة على نظام Windows للحد من الوصول إلى نظام الملفات والشبكة. {sandboxLink}","codex.windowsSandboxBanner.title":"تمكين بيئة الاختبار المعزولة لوضع الوكيل","codex.windowsSubDropdown.windowsSandbox":"بيئة الاختبار المعزولة لنظام Windows","codex.windowsSubDropdown.windowsSettings":"إعدادات Windows","codexUpgradeModal.body":"أحدث نموذج تكويد رائد قائم على الوكيل لدينا - أكثر ذكاءً وسرعة وكفاءة في العمل التقني العام. {link}","codexUpgradeModal.close":"إغلاق","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"تعرف على المزيد","codexUpgradeModal.title":"نقدم لك نموذج GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"جرب GPT-5.3-Codex الآن","codexUpgradeModal.useExistingModel":"المتابعة باستخدام النموذج الحالي","commentAttachments.numComments":"{count, plural, zero {لا يوجد تعليقات} one {تعليق واحد} two {تعليقين} few {# تعليقات} many {# تعليقًا} other {# تعليق}}","commentAttachments.removeAriaLabel":"إزالة مرفق التعليقات","common.close":"إغلاق","composer.addContext.openFilePickerError":"تعذّر فتح أداة اختيار الملفات","composer.addContextDropdown.ariaLabel":"إضافة الملفات والمزيد","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"إضافة الملفات والمزيد","composer.addPhotosAndFiles":"إضافة صور وملفات","composer.atMentionList.emptyQuery":"اكتب للبحث عن الملفات","composer.atMentionList.loading":"جاري البحث...","composer.atMentionList.noResults":"لا توجد نتائج","composer.attemptsSelector.option":"{count, plural, zero {لم يتم اختيار أي نسخ} one {تم اختيار نسخة واحة} two {تم اختيار نسختين} few {تم اختيار # نسخ} many {تم اختيار # نسخة} other {تم اختيار # نسخة}}","composer.attemptsSelector.tooltip":"عدد المحاولات المتزامنة التي سيقوم Codex بتنفيذها","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"إيقاف","composer.cloudFollowUp.cloud":"السحابة","composer.cloudFollowUp.local":"داخليًا","composer.cloudFollowUp.whereRun":"أين ينبغي إجراء هذه المتابعة؟","composer.cloudTaskCreationError":"حدث خطأ أثناء إنشاء مهمة السحابة","composer.cloudTaskError":"حدث خطأ أثناء إنشاء المهمة","composer.contextWindow.autoCompactionTooltipLine1":"يقوم Codex بضغط سياق البيانات تلقائيًا","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"نافذة السياق:","composer.contextWindowUsageStatusFull":"ممتلئة بنسبة {usage}%","composer.contextWindowUsageStatusLeft":"{usage}% مستخدمة ({remaining}% متبقية)","composer.contextWindowUsageTooltip":"تم استخدام {usedTokens} ألف من أصل {contextWindow} ألف من الرموز المميزة","composer.customCliTooltip":"استخدام CLI مخصص قابل للتنفيذ","composer.dictation.aria":"إملاء","composer.dictation.cancel.aria":"إيقاف الإملاء","composer.dictation.cancel.tooltip":"إيقاف الإملاء","composer.dictation.startError":"تعذر بدء الإملاء","composer.dictation.submit.aria":"تحويل إلى نص وإرسال","composer.dictation.submit.tooltip":"تحويل إلى نص وإرسال","composer.dictation.tooltip":"اضغط مطولاً للإملاء","composer.dictation.transcribeError":"تعذر تحويل الملف الصوتي إلى نص","composer.dictation.unsupported":"الإملاء غير متاح على هذا الجهاز","composer.dropOverlay.holdShift":"الاستمرار في الضغط على {key} لسحب الصورة","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"إنشاء بيئة Codex جديدة","composer.environmentSelector.error":"حدث خطأ أثناء تحميل البيئة","composer.environmentSelector.goBack":"رجوع إلى أداة الإنشاء","composer.environmentSelector.title":"تحديد بيئة","composer.environmentSelector.tooltip":"اختر بيئة سحابية","composer.feedbackSlashCommand.title":"الملاحظات","composer.filePicker.selectFile":"تحديد ملف","composer.filePicker.selectFiles":"تحديد ملفات","composer.followerTooltip":"للمتابعة، ارجع إلى النافذة التي بدأت منها هذه المحادثة.","composer.footer.branchSwitch.checkoutError":"تعذر التبديل إلى الفرع: {message}","composer.footer.branchSwitch.createAndCheckout":"إنشاء فرع جديد والتبديل إليه...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"حفظ التغييرات لإنشاء فرع جديد والتبديل إليه","composer.footer.branchSwitch.createBranchError":"تعذر إنشاء الفرع: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"اسم الفرع","composer.footer.branchSwitch.createDialog.branchExistsError":"الفرع موجود بالفعل.","composer.footer.branchSwitch.createDialog.close":"إغلاق","composer.footer.branchSwitch.createDialog.createAndCheckout":"إنشاء فرع والانتقال إليه","composer.footer.branchSwitch.createDialog.placeholder":"فرع جديد","composer.footer.branchSwitch.createDialog.title":"إنشاء فرع والانتقال إليه","composer.footer.branchSwitch.createDialog.trailingSlashError":"لا يمكن أن ينتهي اسم الفرع بـ”/”.","composer.footer.branchSwitch.tooltip":"التبديل إلى فرع آخر","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"حفظ التغييرات في {fileCount, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}} للانتقال إلى {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"حفظ","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"التغييرات في {fileCount, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}} للانتقال إلى {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"إلغاء","composer.footer.branchSwitch.uncommittedDialog.commit":"قم بالحفظ وتبديل الفرع...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"ستُستبدل تغييراتك في الملفات التالية عند الانتقال إلى فرع آخر:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"يرجى حفظ تغييراتك للمتابعة","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"الفرع المحدد","composer.footer.branchSwitch.uncommittedDialog.title":"حفظ التغييرات للانتقال إلى الفرع","composer.footer.branchSwitch.uncommittedSummaryPrefix":"غير المحفوظة: {fileCount, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}}","composer.forkSlashCommand.description":"قم بإنشاء تفريع من سلسلة الرسائل هذه في التعديلات الداخلية أو في مساحة عمل موازية","composer.forkSlashCommand.option.local.description":"متابعة في سلسلة رسائل داخلية جديدة","composer.forkSlashCommand.option.local.title":"تفريع إلى التعديلات الداخلية","composer.forkSlashCommand.option.worktree.description":"متابعة في مساحة عمل موازية جديدة","composer.forkSlashCommand.option.worktree.title":"تفريع إلى مساحة عمل موازية جديدة","composer.forkSlashCommand.title":"تفريع","composer.ideContextIndicator":"سياق بيئة التطوير المدمجة (IDE)","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"قم بتضمين السياق من بيئة التطوير المدمجة","composer.ideContextIndicator.tooltipToggle":"للتبديل","composer.ideContextSlashCommand.disableDescription":"قم بإيقاف تشغيل سياق بيئة التطوير المدمجة","composer.ideContextSlashCommand.enableDescription":"قم بتضمين التحديد الحالي والملفات المفتوحة والسياقات الأخرى من بيئة التطوير المدمجة","composer.ideContextSlashCommand.title":"سياق بيئة التطوير المدمجة (IDE)","composer.imageInputsUnsupported":"هذا النموذج لا يدعم إدخال الصور. جرب نموذجًا آخر.","composer.imageUploadFailed":"تعذر تحميل الصورة","composer.includeIdeContextDropdown":"تضمين سياق بيئة التطوير المدمجة (IDE)","composer.includeIdeContextDropdown.ariaLabel":"تضمين سياق بيئة التطوير المدمجة (IDE)","composer.localCwdDropdown.addWorkspaceRoot":"إضافة مشروع جديد","composer.localCwdDropdown.noActiveRoot":"اختر مشروعك","composer.localCwdDropdown.noResults":"لم يتم العثور على أي مجلدات","composer.localCwdDropdown.title":"اختر مشروعك","composer.localTaskError":"لقد حدث خطأ أثناء بدء المحادثة","composer.mcpSlashCommand.description":"عرض حالة خادم MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"غير مُصادَق عليه","composer.mcpStatus.authOauth":"تمت المصادقة (عبر OAuth)","composer.mcpStatus.authToken":"تمت المصادقة (باستخدام مفتاح API)","composer.mcpStatus.authUnsupported":"الإدخال / الإخراج القياسي (STDIO)","composer.mcpStatus.close":"إغلاق","composer.mcpStatus.disabled":"تم الإيقاف","composer.mcpStatus.emptyLabel":"الخوادم:","composer.mcpStatus.emptyValue":"لم يتم تكوين أي خوادم MCP","composer.mcpStatus.enabled":"مفعل","composer.mcpStatus.errorLabel":"الحالة:","composer.mcpStatus.errorValue":"تعذّر تحميل حالة MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"الوكيل","composer.mode.agentMode.auto.dropdownLabel":"الوكيل","composer.mode.agentMode.auto.optionLabel":"الوكيل","composer.mode.agentMode.changePermission":"تغيير الوضع","composer.mode.agentMode.custom":"مخصص","composer.mode.agentMode.custom.dropdownLabel":"مخصص","composer.mode.agentMode.custom.option":"مخصص (config.toml)","composer.mode.agentMode.custom.optionLabel":"مخصص (config.toml)","composer.mode.agentMode.customInfo.cancel":"إلغاء","composer.mode.agentMode.customInfo.cli":"يمكنك تعديل هذه الإعدادات من خلال CLI أو عن طريق تحرير الملف مباشرة.","composer.mode.agentMode.customInfo.confirm":"استخدام الوضع المخصص","composer.mode.agentMode.customInfo.description":"يطبق الوضع المخصص سياسات الموافقة وبيئة الاختبار الآمنة والمعزولة المحددة في <link>config.toml</link> ملف.","composer.mode.agentMode.customInfo.docs":"يمكنك معرفة المزيد عن إعداد سياسات الموافقة وبيئة الاختبار الآمنة والمعزولة من خلال الاطلاع على <link>وثائق بيئة التنفيذ</link>.","composer.mode.agentMode.customInfo.refresh":"تُطبَّق أي تغييرات عند تشغيل الوكيل في المرة التالية.","composer.mode.agentMode.customInfo.title":"كيف يعمل الوضع المخصص","composer.mode.agentMode.fullAccess":"الوكيل (الوصول الكامل)","composer.mode.agentMode.fullAccess.dropdownLabel":"الوكيل (الوصول الكامل)","composer.mode.agentMode.fullAccess.optionLabel":"الوكيل (الوصول الكامل)","composer.mode.agentMode.fullAccessConfirm.caution":"كن حذرًا عند تمكين الوصول الكامل. فهذا يزيد بصورة كبيرة من خطر فقدان البيانات أو تسريبها أو حدوث استجابة غير متوقعة.","composer.mode.agentMode.fullAccessConfirm.confirm":"نعم، استمر على أي حال","composer.mode.agentMode.fullAccessConfirm.description":"عند تشغيل Codex مع الوصول الكامل، يمكنه تعديل أي ملف على جهاز الكمبيوتر الخاص بك وتنفيذ الأوامر عبر الشبكة، دون موافقتك.","composer.mode.agentMode.fullAccessConfirm.goBack":"إلغاء","composer.mode.agentMode.fullAccessConfirm.title":"هل ترغب بالسماح بالوصول الكامل؟","composer.mode.agentMode.readOnly":"الدردشة","composer.mode.agentMode.readOnly.dropdownLabel":"الدردشة","composer.mode.agentMode.readOnly.optionLabel":"الدردشة","composer.mode.agentMode.tooltip":"تغيير الوضع","composer.mode.agentMode.tooltip.auto":"قراءة الملفات وتحريرها وتنفيذ الأوامر.","composer.mode.agentMode.tooltip.custom":"استخدم أحدث سياسات الموافقة وبيئة الاختبار الآمنة والمعزولة المحددة في config.toml.","composer.mode.agentMode.tooltip.fullAccess":"يمكن لـ Codex تحرير الملفات خارج المشروع وتنفيذ الأوامر مع الوصول إلى الشبكة. توخ الحذر عند الاستخدام.","composer.mode.agentMode.tooltip.readOnly":"يجب الحصول على موافقة لتحرير الملفات وتنفيذ الأوامر.","composer.mode.cloud.tooltip":"العمل ضمن بيئة سحابية","composer.mode.contactAdmin":"للحصول على مزيد من الصلاحيات، اتصل بالمسؤول الخاص بك","composer.mode.local":"داخليًا","composer.mode.local.learnMore":"تعرف على المزيد","composer.mode.local.model.custom":"مخصص","composer.mode.local.model.loadingModel":"جارٍ تحميل النموذج","composer.mode.local.model.selecrReasoningEffort":"اختر التفكير المنطقي المتعمق","composer.mode.local.model.selectModel":"اختر نموذجًا","composer.mode.local.model.tooltip":"اختر النموذج","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"عالٍ","composer.mode.local.reasoning.low.label":"منخفض","composer.mode.local.reasoning.medium.label":"متوسط","composer.mode.local.reasoning.minimal.label":"أقل","composer.mode.local.reasoning.none.label":"لا يوجد","composer.mode.local.reasoning.xhigh.label":"للغاية","composer.mode.localRemoteWhereRun":"اختر مكان تنفيذ المهمة","composer.mode.newTask.header":"متابعة في","composer.mode.rateLimit.day":"{days} أيام","composer.mode.rateLimit.heading":"حدود الاستخدام المتبقية","composer.mode.rateLimit.hour":"{hours} ساعات","composer.mode.rateLimit.minute":"{minutes} دقيقة","composer.mode.rateLimit.modelSectionLabel":"{modelName} الحد:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, zero {لا يوجد أي حدود للاستخدام الأسبوعي} one {حد الاستخدام الأسبوعي} two {حد الاستخدام الأسبوعي {weeks}} few {حد الاستخدام الأسبوعي {weeks}} many {حد الاستخدام الأسبوعي {weeks}} other {حد الاستخدام الأسبوعي {weeks}}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, zero {لا يوجد أي حدود للاستخدام الأسبوعي} one {حد الاستخدام الأسبوعي} two {حد الاستخدام الأسبوعي {weeks}} few {حد الاستخدام الأسبوعي {weeks}} many {حد الاستخدام الأسبوعي {weeks}} other {حد الاستخدام الأسبوعي {weeks}}}","composer.mode.remote.connectToCloud":"ربط Codex للويب","composer.mode.remote.connectToCloudDisabledTooltip":"إعداد بيئة عبر Codex على الويب لتمكين إرسال المهام إلى السحابة","composer.mode.remote.selectEnvironment":"تحديد بيئة","composer.mode.remote.sendToCloud":"الإرسال إلى السحابة","composer.mode.remote.setupViaWeb":"إعداد بيئة عبر Codex على الويب","composer.mode.runInCloud":"السحابة","composer.mode.runInCloudWithEnvironment":"السحابة · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"العمل ضمن بيئة سحابية","composer.mode.segmentedToggle.local.tooltip":"العمل ضمن المشروع الداخلي الخاص بك","composer.mode.segmentedToggle.worktree.tooltip":"العمل ضمن مساحة العمل الموازية","composer.mode.upgradeToPlus":"الترقية إلى Plus","composer.mode.upgradeToPro":"الترقية إلى Pro","composer.mode.workLocally":"مشروع داخلي","composer.mode.workLocally.currentBranchFallback":"الفرع الخاص بك","composer.mode.workLocally.tooltip":"العمل على {branchName}","composer.mode.worktree":"مساحة عمل موازية جديدة","composer.mode.worktree.submoduleWarning":"يحتوي هذا المستودع على وحدات Git فرعية، وقد يفشل إنشاء مساحة عمل موازية","composer.mode.worktree.tooltip":"إنشاء نسخة من مشروعك الداخلي للعمل عليها بالتوازي","composer.mode.worktreeSegment":"مساحة العمل الموازية","composer.modelChangeDuringConversationWarning.toast":"تغيير النماذج في منتصف المحادثة سيؤدي إلى تراجع مستوى الأداء.","composer.newChat.heading.browser":"ما الذي ترغب في تكويده الآن؟","composer.permissionsDropdown.agentMode.tooltip.custom":"يستخدم Codex الإذن المحدد في config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"يتمتع برنامج Codex بإمكانية الوصول الكامل إلى جهاز الكمبيوتر الخاص بك (مخاطر مرتفعة)","composer.permissionsDropdown.custom.label":"مخصص (config.toml)","composer.permissionsDropdown.custom.optionLabel":"مخصص (config.toml)","composer.permissionsDropdown.default.label":"الأذونات الافتراضية","composer.permissionsDropdown.default.optionLabel":"الأذونات الافتراضية","composer.permissionsDropdown.default.tooltip":"يقوم Codex بتشغيل الأوامر تلقائيًا في بيئة الاختبار المعزولة","composer.permissionsDropdown.disabled.requirements":"تم إغلاق الأذونات بواسطة requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"تم تعطيل الوصول الكامل بواسطة requirements.toml","composer.permissionsDropdown.fullAccess.label":"إمكانية الوصول الكامل","composer.permissionsDropdown.fullAccess.optionLabel":"إمكانية الوصول الكامل","composer.permissionsDropdown.trigger.tooltip":"تغيير الأذونات","composer.personalitySlashCommand.description.friendly":"ودود، متعاون، ويقدّم المساعدة","composer.personalitySlashCommand.description.pragmatic":"موجز، يركز على المهام، ومباشر","composer.personalitySlashCommand.label.friendly":"ودود","composer.personalitySlashCommand.label.pragmatic":"براجماتي","composer.personalitySlashCommand.notApplicableSuffix":"(لا ينطبق على النموذج  الحالي)","composer.personalitySlashCommand.title":"شخصية","composer.placeholder.cloudFollowUp.directFollowUp":"متابعة هذه المهمة على السحابة","composer.placeholder.cloudFollowUp.local":"قم بإنشاء مهمة جديدة داخلية تشير إلى هذه المهمة على السحابة.","composer.placeholder.cloudFollowUp.workingTree":"قم بإنشاء مهمة على السحابة جديدة تتضمن التعليمات البرمجية الحالية وتستند إلى هذه المهمة","composer.placeholder.localFollowUp.cloud":"متابعة مهمة جديدة على السحابة","composer.placeholder.localFollowUp.locally":"اطلب تغييرات المتابعة","composer.placeholder.newTask.cloud":"اطلب من Codex القيام بأي شيء على السحابة","composer.placeholder.newTask.doAnything":"اطلب من Codex القيام بأي شيء","composer.placeholder.newTask.locally":"اسأل Codex أي شيء، استخدم @ لإضافة ملفات، و/ للأوامر","composer.planModeDropdown":"وضع التخطيط","composer.planModeDropdown.ariaLabel":"وضع التخطيط","composer.planModeIndicator":"الخطة","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"أنشئ خطة باستخدام Codex","composer.planModeIndicator.tooltipToggle":"للتبديل","composer.planSlashCommand.disableDescription":"إيقاف تشغيل وضع التخطيط","composer.planSlashCommand.enableDescription":"تشغيل وضع التخطيط","composer.planSlashCommand.title":"وضع التخطيط","composer.priorContext.label":"السياق السابق","composer.priorContext.removeAriaLabel":"إزالة السياق السابق","composer.queuedMessage.delete":"حذف الرسالة قيد الانتظار","composer.queuedMessage.edit":"تحرير رسالة","composer.queuedMessage.more":"إجراءات الرسائل قيد الانتظار","composer.queuedMessage.sendNow":"توجيه","composer.queuedMessage.sendNowTooltip":"أرسل الآن دون مقاطعة العمل","composer.queuedMessage.turnOff":"إيقاف وضع الانتظار","composer.reasoningEffort.local.reasoning.tooltip":"تحديد مستوى التفكير المنطقي المتعمق","composer.remote.branchStartingPoint":"من أي فرع يجب أن تبدأ هذه المهمة؟","composer.remote.branchesSectionHeading":"فروع","composer.remote.currentEditsSuffix.followUp":"إنشاء مهمة جديدة تشير إلى مهمة السحابة هذه.","composer.remote.currentEditsSuffix.useLocal":"مع تغييرات التعليمات البرمجية الداخلية","composer.remote.directFollowUp":"لا تستخدم التغييرات الداخلية","composer.remote.errorLoadingBranches":"حدث خطأ أثناء تحميل الفروع","composer.remote.fromBranch":"من {branch}","composer.remote.fromCurrentBranch":"من {branch} (الحالي)","composer.remote.loadingMoreBranches":"جاري التحميل...","composer.remote.localFileStateHeading":"حالة الملف المحلي","composer.remote.localWorkingTree":"استخدم التغييرات الداخلية","composer.remote.startingPoint":"ما التعليمات البرمجية التي يجب أن تبدأ بها هذه المهمة؟","composer.reviewMode.branches.error":"تعذر تحميل الفروع","composer.reviewMode.branches.retry":"إعادة المحاولة","composer.reviewMode.gitRoot.error":"لم يتم العثور على الدليل الأساسي في Git","composer.reviewMode.option.baseBranch.simple":"المراجعة مقارنة بالفرع الأساسي","composer.reviewMode.option.unstaged.simple":"مراجعة التغييرات غير المحفوظة","composer.reviewMode.quickReviewError":"تعذر بدء مراجعة التعليمات البرمجية.","composer.reviewMode.title":"مراجعة التعليمات البرمجية","composer.sandboxButton.unlock.disabled.tooltip":"تم تعطيل الوصول الكامل بواسطة requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"يمكن لـCodex استخدام بيئة الاختبار المعزولة على نظام Windows للحد من الوصول إلى نظام الملفات والشبكة. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"هل ترغب في تمكين بيئة الاختبار المعزولة لنظام Windows؟","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"استخدام وضع القراءة فقط","composer.searchEnvironments":"البحث في البيئات","composer.skillMentionList.app":"التطبيق","composer.skillMentionList.loading":"جاري تحميل المهارات...","composer.skillMentionList.noResults":"لم يتم العثور على مهارات","composer.slashCommands.cloudEnvironment.title":"بيئة السحابة","composer.slashCommands.dialogLabel":"قائمة أوامر الشرطة المائلة (/)","composer.slashCommands.dialogTitle":"أوامر الشرطة المائلة (/)","composer.slashCommands.disabledTooltip":"ابدأ محادثة جديدة لاستخدام أوامر الشرطة المائلة (/)","composer.slashCommands.inputPlaceholder":"البحث","composer.slashCommands.noResults":"لا توجد أوامر","composer.slashCommands.skillsGroup":"المهارات","composer.slashCommands.tooltip":"تصفح أوامر الشرطة المائلة (/)","composer.status.close":"إغلاق","composer.statusPlain.alertLabel":"تنبيه:","composer.statusPlain.alertValue":"{remaining}% متبقي في {window}","composer.statusPlain.contextLabel":"السياق:","composer.statusPlain.contextTotal":"{count} ألف","composer.statusPlain.contextValueMetadata":"(تم استخدام {used}/{total})","composer.statusPlain.contextValueRemaining":"متبقي {remaining}%","composer.statusPlain.heading":"الحالة","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} الحد:","composer.statusPlain.rateLimitDays":"الحد اليومي {count}","composer.statusPlain.rateLimitFallbackLabel":"حد الاستخدام:","composer.statusPlain.rateLimitHours":"الحد لكل ساعة {count}","composer.statusPlain.rateLimitLabelBase":"حد الاستخدام","composer.statusPlain.rateLimitMinutes":"الحد لكل دقيقة {count}","composer.statusPlain.rateLimitPercent":"متبقي {remaining}%","composer.statusPlain.rateLimitReset":"يتم إعادة التعيين في {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"إعادة تعيين الوقت غير متاح","composer.statusPlain.rateLimitUnavailable":"غير متاح","composer.statusPlain.sessionCopiedAriaLabel":"تم نسخ معرف الجلسة","composer.statusPlain.sessionCopiedTooltip":"تم نسخ المعرف","composer.statusPlain.sessionCopyAriaLabel":"نسخ معرف الجلسة","composer.statusPlain.sessionCopyTooltip":"نسخ المعرف","composer.statusPlain.sessionLabel":"الجلسة:","composer.statusSlashCommand.description":"عرض معرف سلسة الرسائل واستخدام السياق وحدود الاستخدام","composer.statusSlashCommand.title":"الحالة","composer.submit.blockedDialogOk":"موافق","composer.submit.blockedDialogTitle":"تعذر إرسال الرسالة","composer.submit.emptyMessage":"أدخل رسالة للبدء","composer.submit.imageInputsUnsupported":"قم بإزالة الصور أو تغيير النموذج لإرسال هذه الرسالة.","composer.submit.loadingLocalConfig":"جاري التحميل...","composer.submit.missingCloudConfig":"يجب اختيار بيئة السحابة","composer.submit.missingCloudTurn":"تعذر متابعة هذه المهمة","composer.submit.noWorkspace":"أضف مشروعًا لاستخدام Codex","composer.submit.waitForImageUploads":"جاري تحميل الصور…","composer.submitButtonTooltip.send":"إرسال","composer.submitButtonTooltip.stop":"إيقاف","composer.worktreeEnvironment.create":"إنشاء البيئات الداخلية","composer.worktreeEnvironment.default":"البيئة الافتراضية","composer.worktreeEnvironment.error":"حدث خطأ أثناء تحميل البيئة","composer.worktreeEnvironment.loading":"جارٍ تحميل البيئات...","composer.worktreeEnvironment.title":"البيئة المحلية","composer.worktreeEnvironment.tooltip":"تحديد بيئة محلية","composer.worktreeSetupFailed":"تعذر إعداد مساحة العمل الموازية. تحقق من .codex/environments بحثًا عن البرنامج النصي للإعداد.","compoundButton.secondaryAction":"الإجراء الثانوي","copyButton.copied":"تم النسخ","copyButton.copiedAriaLabel":"تم النسخ","copyButton.copy":"نسخ","copyButton.copyAriaLabel":"نسخ","copyButton.copyCode":"نسخ التعليمات البرمجية","diff.actionButton.revertFile":"إعادة الملف للنسخة السابقة","diff.actionButton.revertHunk":"التراجع","diff.actionButton.revertSection":"التراجع عن الكل","diff.actionButton.revertSectionLabel":"التراجع عن الكل","diff.actionButton.stageFile":"تجهيز الملف","diff.actionButton.stageHunk":"تجزئة","diff.actionButton.stageSection":"تجهيز الكل","diff.actionButton.stageSectionLabel":"تجهيز الكل","diff.actionButton.unstageFile":"إلغاء تجهيز الملف","diff.actionButton.unstageHunk":"إلغاء التجزئة","diff.actionButton.unstageSection":"إلغاء تجهيز الكل","diff.actionButton.unstageSectionLabel":"إلغاء تجهيز الكل","diff.fileHeader.toggle":"تبديل عرض اختلافات الملفات","electron.onboarding.login.apikey.cancel":"إلغاء","electron.onboarding.login.apikey.continue":"متابعة","electron.onboarding.login.apikey.label":"مفتاح OpenAI API","electron.onboarding.login.apikey.open":"أدخل مفتاح API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"إلغاء تسجيل الدخول","electron.onboarding.login.chatgpt.continue":"المتابعة باستخدام ChatGPT","electron.onboarding.login.devbox":"الاتصال بـ SSH عن بُعد","electron.onboarding.login.error":"تعذر تسجيل الدخول: {rawMessage}","electron.onboarding.login.snake.start":"تشغيل الثعبان","electron.onboarding.login.sshConfig.cancel":"إلغاء","electron.onboarding.login.sshConfig.continue":"متابعة","electron.onboarding.login.sshConfig.hostnameLabel":"اسم مضيف SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"أفضل طريقة للبناء باستخدام الوكلاء","electron.onboarding.login.title":"مرحبًا بك في Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"متابعة","electron.onboarding.welcome.doubleLimits.description":"حتفاءً بإطلاق تطبيق Codex، تم مضاعفة حدود الاستخدام لديك حتى 2 أبريل.","electron.onboarding.welcome.freego.description":"برنامج Codex مشمول في خطتك مجانًا حتى 2 مارس - فلنبدأ البناء معًا.","electron.onboarding.welcome.new.title.anon":"مرحبًا","electron.onboarding.workspace.continue":"متابعة","electron.onboarding.workspace.empty":"أضف مشروعًا للمتابعة.","electron.onboarding.workspace.listLabel":"المشاريع المتاحة","electron.onboarding.workspace.loading":"جارٍ تحميل المشروعات...","electron.onboarding.workspace.openFolder":"إضافة مشروع","electron.onboarding.workspace.selectAll":"تحديد الكل","electron.onboarding.workspace.skip":"تجاوز","electron.onboarding.workspace.skip.error":"تعذر إنشاء مشروع جديد: {message}","electron.onboarding.workspace.skip.error.unknown":"خطأ غير معروف","electron.onboarding.workspace.skipping":"جارٍ إنشاء مشروع جديد...","electron.onboarding.workspace.subtitle":"سيتمكن برنامج Codex من تعديل الملفات وتشغيل الأوامر في المجلدات المحددة.","electron.onboarding.workspace.title":"تحديد مشروع","errorPage.list.checkSettings":"جرب تحديث إعدادات بيئة التطوير المدمجة","errorPage.list.configToml":"تحقق من config.toml بحثًا عن إعدادات غير صالحة","errorPage.list.downloadExtension":"جرب تنزيل نسخة مختلفة من المكون الإضافي","errorPage.list.runInWsl":"تحقق من إعداداتك لإيقاف التشغيل في نظام WSL إذا كنت تواجه مشكلات في الموائمة","execApprovalRequest.menu.runAlways":"نعم، ولا تسألني مرة أخرى في هذه الجلسة","execApprovalRequest.menu.runAlwaysWithAmendment":"نعم، ولا تسأل مرة أخرى عن الأوامر التي تبدأ بـ {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"نعم، ولا تسأل مرة أخرى عن الأوامر التي تبدأ بـ","execApprovalRequest.menu.runOnce":"نعم","execApprovalRequest.prompt":"هل ترغب في تنفيذ هذا الأمر؟","execApprovalRequest.reject":"لا","execFooter.exitCode":"إنهاء الكود {code}","execFooter.exitCode.unknown":"غير معروف","execFooter.success":"تم بنجاح","feedback.dialog.category.badResult":"نتيجة سيئة","feedback.dialog.category.bug":"خطأ برمجي","feedback.dialog.category.goodResult":"نتيجة جيدة","feedback.dialog.category.other":"غير ذلك","feedback.dialog.descriptionPlaceholder":"قم بوصف المشكلة هنا","feedback.dialog.dismiss":"إغلاق","feedback.dialog.includeLogsLabel":"تضمين سجلات جلسة Codex الحالية","feedback.dialog.submit":"إرسال","feedback.dialog.submitError":"تعذر إرسال ملاحظاتك، يرجى المحاولة مرة أخرى بعد قليل.","feedback.dialog.title":"الملاحظات","feedback.dialog.uploadedMessage.existingIssue":"مشكلة مفتوحة موجودة","feedback.dialog.uploadedMessage.openIssue":"فتح مشكلة في GitHub","feedback.dialog.uploadedMessage.withThread":"تم تحميل الملاحظات. إذا استمرت المشكلة، يرجى {openIssueLink} أو أشر إلى معرف سلسلة الرسائل في {existingIssueLink}:","feedback.dialog.uploadedTitle":"تم تحميل الملاحظات","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"إزالة {filename}","header.back":"رجوع","header.recentChats":"المهام","header.recentTasks.seeAll":"عرض الكل ({total})","home.header.getPlus":"اشترك في Plus","home.hero.letsBuild":"لنبدأ الإنشاء","homePage.mainContent":"المحتوى الرئيسي","imageAttachment.defaultName":"صورة","imageAttachment.preview.close":"غلق معاينة الصورة","imageAttachment.removeAriaLabel":"إزالة {filename}","implementPlanRequest.option.implement":"نعم، نفّذ هذه الخطة","implementPlanRequest.prompt":"هل ترغب في تنفيذ هذه الخطة؟","inbox.archived.deleteError":"تعذر حذف التعليمات البرمجية المؤرشفة","inbox.archived.deleteRun":"حذف التعليمات البرمجية المؤرشفة","inbox.archived.deleteSuccess":"تم حذف سلسلة الرسائل المؤرشفة. يمكنك عرضها ضمن <settingsLink>سلاسل الرسائل المؤرشفة</settingsLink>.","inbox.archived.inlineLabel.auto":"تمت أرشفة سلسلة الرسائل هذه تلقائيًا. <learnMoreLink>تعرف على المزيد</learnMoreLink>","inbox.archived.inlineLabel.manual":"تمت أرشفة سلسلة الرسائل هذه.","inbox.archived.noMessageFound":"لم يتم العثور على أي رسائل","inbox.automations.createError":"لا يمكن إنشاء عملية الأتمتة","inbox.automations.deleteConfirm.cancel":"إلغاء","inbox.automations.deleteConfirm.confirm":"حذف الأتمتة","inbox.automations.deleteConfirm.description":"سيؤدي هذا إلى حذف الأتمتة بشكل دائم وإيقاف أي تشغيلات مستقبلية.","inbox.automations.deleteConfirm.title":"هل ترغب في حذف {name}؟","inbox.automations.deleteError":"تعذر حذف الأتمتة","inbox.automations.editTooltip":"تحرير عملية الأتمتة","inbox.automations.inProgress":"قيد التنفيذ","inbox.automations.new":"جديد","inbox.automations.newToolbar":"عملية أتمتة جديدة","inbox.automations.pauseTooltip":"إيقاف الأتمتة مؤقتًا","inbox.automations.resumeTooltip":"استئناف الأتمتة","inbox.automations.startingNow":"جاري البدء","inbox.automations.startsIn":"تبدأ في {startTime}","inbox.automations.status.active":"نشط","inbox.automations.status.paused":"تم الإيقاف مؤقتًا","inbox.automations.status.runs":"{count} عمليات تشغيل","inbox.automations.status.started":"تم بدء {date}","inbox.automations.updateError":"لا يمكن تحديث عملية الأتمتة","inbox.automations.workspaceFallback":"-","inbox.filter.all":"الكل","inbox.filter.ariaLabel":"تصفية عناصر صندوق البريد الوارد","inbox.filter.unread":"غير مقروء","inbox.list.archived":"مؤرشف","inbox.list.inProgress":"قيد التنفيذ","inbox.list.recent":"اكتمل","inbox.list.upNext":"مجدول","inbox.mode.automations":"الأتمتة","inbox.mode.automations.beta":"تجريبي","inbox.noDescription":"لم يتم تقديم وصف","inbox.openThread":"فتح سلسلة الرسائل","inbox.rightPanel.emptySubtitle":"أتمتة العمل من خلال إعداد مهام مجدولة","inbox.rightPanel.emptySubtitle.learnMore":"أتمتة العمل من خلال إعداد سلاسل رسائل مجدولة.<link>تعرف على المزيد</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, zero {لا توجد عمليات أتمتة نشطة (#)} one {عملية أتمتة واحدة نشطة (#)} two {عمليتا أتمتة نشطتان (#)} few {# عمليات أتمتة نشطة} many {# عملية أتمتة نشطة} other {# عملية أتمتة نشطة}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"لا توجد عمليات أتمتة غير مقروءة","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, zero {لا توجد عمليات أتمتة غير مقروءة (#)} one {عملية أتمتة واحدة غير مقروءة (#)} two {عمليتا أتمتة غير مقروءتين (#)} few {# عمليات أتمتة غير مقروءة} many {# عملية أتمتة غير مقروءة} other {# عملية أتمتة غير مقروءة}}","inbox.rightPanel.emptyTitle":"لم يتم تحديد عناصر","inbox.rightPanel.noThread":"لا توجد سلاسل رسائل متاحة لهذا العنصر","inbox.rightPanel.quickStart.header":"ابدأ من خلال استخدام قالب","inbox.untitled":"عنصر غير معنون في صندوق البريد الوارد","loadingPage.documentationLink":"الوثائق","loadingPage.errorDescription":"توقف Codex عن العمل مع ظهور الخطأ التالي:","loadingPage.errorDescription.documentation":"اضغط على إعادة التحميل لإعادة تشغيل المكون الإضافي لـ Codex، أو تفضل بزيارة {documentationLink} للحصول على المزيد من المساعدة.","loadingPage.errorSignal":"بعض الأمور التي يمكن تجربتها:","loadingPage.errorTitle":"حدث خطأ ما","loadingPage.openConfigToml":"فتح Config.toml","loadingPage.reload":"إعادة التحميل","localConversation.contextCompacted":"تم ضغط السياق تلقائيًا","localConversation.contextCompacting":"جاري ضغط السياق تلقائيًا","localConversation.forkedFromConversation":"تفريع من {threadTitle}","localConversation.merge.autoResolve.failed":"تعذر طلب الحل التلقائي: {error}","localConversation.merge.autoResolve.sent":"تم إرسال طلب الحل التلقائي","localConversation.merge.autoResolveMerge.missingConversation":"تعذر الحل التلقائي بدون محادثة نشطة.","localConversation.merge.autoResolveMerge.request":"حل تعارضات الدمج تلقائيًا","localConversation.modelChanged":"تم تغيير النموذج من {fromModel} إلى {toModel}","localConversation.modelChanged.warning.line1":"تغيير النماذج في منتصف المحادثة سيؤدي إلى تراجع مستوى الأداء.","localConversation.modelChanged.warning.line2":"قد يتم ضغط السياق تلقائيًا.","localConversation.moveThread.createBranch.label":"إنشاء فرع","localConversation.moveToLocal.disabled.loading":"جاري التحميل...","localConversation.moveToLocal.modal.continue":"متابعة","localConversation.moveToLocal.modal.destinationLabel":"نقل إلى","localConversation.moveToLocal.modal.retry":"إعادة المحاولة","localConversation.moveToWorktree.modal.back":"رجوع","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"الفرع موجود بالفعل.","localConversation.moveToWorktree.modal.branchesError":"تعذر تحميل الفروع","localConversation.moveToWorktree.modal.branchesLoading":"جارٍ تحميل الفروع","localConversation.moveToWorktree.modal.branchesRetry":"إعادة المحاولة","localConversation.moveToWorktree.modal.continue":"متابعة","localConversation.moveToWorktree.modal.retry":"إعادة المحاولة","localConversation.moveToWorktree.modal.trailingSlashError":"لا يمكن أن ينتهي اسم الفرع بـ”/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"فرع جديد","localConversation.personalityChanged":"تم التحويل إلى شخصية {personality}","localConversation.planSummary.collapse":"طي ملخص الخطة","localConversation.planSummary.collapseTooltip":"طي","localConversation.planSummary.download":"تنزيل الخطة","localConversation.planSummary.expand":"توسيع ملخص الخطة","localConversation.planSummary.expandTooltip":"توسيع","localConversation.planSummary.openInNewWindow":"فتح","localConversation.planSummary.openInNewWindow.tooltip":"فتح في نافذة جديدة","localConversation.planSummary.title":"الخطة","localConversation.planSummary.titleWriting":"خطة الكتابة","localConversation.planSummary.viewPlan":"توسيع الخطة","localConversation.remoteTaskCreated":"تم إنشاء {taskLink} في Codex للسحابة","localConversation.remoteTaskCreated.task":"مهمة","localConversation.scrollToBottomButton":"التمرير لأسفل","localConversation.sync.buttonLabel":"نقل إلى الجهاز المحلي","localConversation.sync.buttonLabel.tooltip":"نقل التعديلات بين مساحة العمل الموازية هذه تعديلاتك الداخلية.","localConversation.sync.modal.loading.title":"جاري نقل التغييرات…","localConversation.sync.modal.noChanges":"لا توجد تغييرات","localConversation.syncSetup.branchAriaLabel":"اسم الفرع","localConversation.syncSetup.branchName":"اسم الفرع","localConversation.syncSetup.branchPlaceholder.existing":"اختيار الفرع الحالي","localConversation.syncSetup.branchPlaceholder.new":"codex/ميزات جديدة","localConversation.syncSetup.branchesLoading":"جارٍ تحميل الفروع","localConversation.syncSetup.checkoutAlreadyCheckedOut":"تم التفعيل بالفعل","localConversation.syncSetup.checkoutClean":"حاليًا على {branchName}","localConversation.syncSetup.checkoutDirty":"أنت حاليًا على {branchName} مع تغييرات غير محفوظة","localConversation.syncSetup.checkoutError":"تعذر الانتقال إلى الفرع: {message}","localConversation.syncSetup.checkoutLabel":"التفعيل محليًا الآن","localConversation.syncSetup.checkoutOnLocal":"نقل إلى الجهاز المحلي","localConversation.syncSetup.checkoutPending":"جارٍ التحقق من الحالة المحلية...","localConversation.syncSetup.checkoutUnavailable":"مساحة العمل المحلية غير متاحة","localConversation.syncSetup.checkoutUnknown":"الفرع المحلي غير متاح","localConversation.syncSetup.continue":"متابعة","localConversation.syncSetup.createBranchError":"تعذر تعيين فرع التسليم: {message}","localConversation.syncSetup.error":"لقد حدث خطأ ما: {message}","localConversation.syncSetup.error.workingTreeMissing":"تعذر إنشاء لقطة لمساحة العمل الموازية. يُرجى إعادة محاولة التسليم.","localConversation.syncSetup.mode.ariaLabel":"تحديد وضع الفرع","localConversation.syncSetup.mode.existing":"الفرع الحالي","localConversation.syncSetup.mode.new":"فرع جديد","localConversation.syncSetup.noBranches":"لم يتم العثور على أي فروع","localConversation.syncSetup.overwriteError":"تم إنشاء الفرع ولكن لم يتم تسليمه بالكامل. قم بالتسليم يدويًا قبل التبديل إليه محليًا.","localConversation.syncSetup.setPrefix":"إعداد بادئة","localConversation.syncSetup.subtitle":"اختبر وعدّل تغييرات مساحة العمل محليًا. <a>تعرّف على المزيد</a>","localConversation.syncSetup.success.checkedOut":"تم إنشاء الفرع والتفعيل محليًا","localConversation.syncSetup.success.notCheckedOut":"تم إنشاء الفرع","localConversation.syncSetup.title":"التسليم إلى فرع محلي","localConversation.syncWorktreeError.branchAriaLabel":"اسم الفرع","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/ميزات جديدة","localConversation.syncWorktreeError.branchSetup.subtitle":"اختر فرعًا للتسليم إليه، ثم أعد محاولة تحميل التغييرات.","localConversation.syncWorktreeError.branchSetup.title":"تحديث الفرع","localConversation.syncWorktreeError.branchUpdate.cta":"قم بالتحديث ثم أعد المحاولة","localConversation.syncWorktreeError.branchUpdate.error":"فشل تحديث الفرع: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"لقد حدث خطأ ما: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"الفرع غير مسجل في أي مساحة عمل موازية.","localConversation.syncWorktreeV2.applyUncommitted":"تطبيق","localConversation.syncWorktreeV2.applyUncommitted.disabled":"بدّل إلى الفرع محليًا لتطبيق التغييرات غير المحفوظة","localConversation.syncWorktreeV2.branches.empty":"لم يتم العثور على أي فروع","localConversation.syncWorktreeV2.branches.loading":"جارٍ تحميل الفروع","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"تغيير فرع التسليم","localConversation.syncWorktreeV2.changeBranch.error":"تعذر تغيير فرع التسليم: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"تعذر التطبيق","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"فشل تبديل مساحة العمل الموازية","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"فشل تبديل التعديلات المحلية","localConversation.syncWorktreeV2.commandError.back":"رجوع","localConversation.syncWorktreeV2.commandError.body":"تعذر تنفيذ أمر Git أثناء عملية التسليم. يُرجى مراجعة المخرجات وإعادة المحاولة.","localConversation.syncWorktreeV2.commandError.retry":"إعادة المحاولة","localConversation.syncWorktreeV2.description":"تسليم التغييرات بين مساحة العمل المحلية ومساحة العمل الموازية. <a>تعرف على المزيد</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"تحديد اتجاه التسليم","localConversation.syncWorktreeV2.error.generic":"حدث خطأ أثناء التسليم. أعد المحاولة.","localConversation.syncWorktreeV2.localBranchLabel":"داخليًا","localConversation.syncWorktreeV2.noChanges":"جارٍ حساب التغييرات","localConversation.syncWorktreeV2.noChanges.summary":"لا توجد تغييرات","localConversation.syncWorktreeV2.overwrite.local":"تجاهل التعديلات المحلية","localConversation.syncWorktreeV2.overwrite.worktree":"تجاهل مساحة العمل الموازية","localConversation.syncWorktreeV2.partial.action.applyFailed":"تعذر تطبيق التغييرات","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"تعذر استبدال التغييرات المحلية","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"تعذر استبدال تغييرات مساحة العمل الموازية","localConversation.syncWorktreeV2.partial.appliedLabel":"تم تطبيق","localConversation.syncWorktreeV2.partial.back":"رجوع","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"يُرجى حل التعارضات ثم المحاولة مجددًا.","localConversation.syncWorktreeV2.partial.conflictsLabel":"تعارضات","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}}","localConversation.syncWorktreeV2.partial.retry":"إعادة المحاولة","localConversation.syncWorktreeV2.partial.skippedLabel":"تم تخطيه","localConversation.syncWorktreeV2.stateFailed.generic":"حدث خطأ ما أثناء جلب تغييرات مساحة العمل الموازية للتسليم. يُرجى المحاولة مرة أخرى.","localConversation.syncWorktreeV2.stateFailed.title":"فشل تحميل مساحة العمل الموازية","localConversation.syncWorktreeV2.statusError.diffUnknown":"فشل تحميل مساحة العمل الموازية.","localConversation.syncWorktreeV2.statusError.retry":"إعادة المحاولة","localConversation.syncWorktreeV2.statusError.title":"تعذر تحميل تغييرات الفرع المحلي","localConversation.syncWorktreeV2.statusError.unknown":"حالة الفرع غير متاحة حاليًا. حاول مرة أخرى.","localConversation.syncWorktreeV2.success.apply":"تم تطبيق التغييرات بنجاح","localConversation.syncWorktreeV2.success.overwrite":"تم التسليم بنجاح","localConversation.syncWorktreeV2.title":"التغييرات في التسليم","localConversation.syncWorktreeV2.worktreeLabel":"مساحة العمل الموازية","localConversation.userInputRequest.inProgress":"جارٍ الطلب {count, plural, zero {لم يتم الإجابة على أي أسئلة} one {سؤال} two {سؤالان} few {أسئلة} many {سؤالاً} other {سؤال}}","localConversation.userInputRequest.noAnswer":"لم يتم تقديم أي إجابات","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"تم الطلب","localConversation.userInputRequest.summary.count":"{count, plural, zero {لا توجد أسئلة (#)} one {سؤال واحد (#)} two {سؤالان اثنان (#)} few {# أسئلة} many {# سؤالاً} other {# سؤال}}","localConversation.workedFor":"قام بالعمل لمدة {time}","localConversation.worktreeBranchSetup.action.create":"إنشاء","localConversation.worktreeBranchSetup.branchAriaLabel":"اسم الفرع","localConversation.worktreeBranchSetup.branchPlaceholder.new":"إنشاء فرع جديد","localConversation.worktreeBranchSetup.checkoutDisabled":"هذا الفرع مُفعَّل بالفعل في {location}","localConversation.worktreeBranchSetup.checkoutError":"تعذر الانتقال إلى الفرع: {message}","localConversation.worktreeBranchSetup.createBranchError":"تعذر تعيين الفرع: {message}","localConversation.worktreeBranchSetup.error":"لقد حدث خطأ ما: {message}","localConversation.worktreeBranchSetup.subtitle":"أنشئ فرعًا لحفظ التغييرات، ثم ارفعها وأنشئ طلب سحب من مساحة العمل الموازية هذه. <a>تعرّف على المزيد</a>","localConversation.worktreeBranchSetup.title":"العمل هنا","localConversationPage.addWorktreeToSidebar.tooltip":"حفظها كمشروع حتى تتمكن من بدء سلاسل جديدة من مساحة العمل الموازية هذه","localConversationPage.addWorktreeToSidebarError":"فشل إضافة مشروع","localConversationPage.commitAndCreatePrModal.errorTitle":"تعذر تسجيل وإنشاء طلب سحب","localConversationPage.commitAndCreatePrModal.successTitle":"تم تسجيل وإنشاء طلب سحب","localConversationPage.commitAndPushModal.errorTitle":"تعذر التسجيل والإرسال","localConversationPage.commitAndPushModal.successTitle":"تم تسجيل وإرسال التغييرات","localConversationPage.commitCreatePr.open":"فتح طلب السحب","localConversationPage.commitCreatePr.successTitle":"تم إنشاء طلب السحب بأحدث تغييراتك","localConversationPage.createBranchButtonLabel":"فرع هنا","localConversationPage.createPrModal.baseBranch":"الفرع الأساسي","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"إنشاء طلب سحب","localConversationPage.createPrModal.createDescription":"فتح طلب السحب لأحدث تغييراتك.","localConversationPage.createPrModal.errorTitle":"تعذر طلب السحب","localConversationPage.createPrModal.headBranch":"الفرع المصدر","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"فتح طلب سحب","localConversationPage.createPrModal.successTitle":"تم إنشاء طلب السحب","localConversationPage.createPrModal.title":"إنشاء طلب سحب","localConversationPage.createPrModal.viewDescription":"يوجد طلب سحب بالفعل لهذا الفرع.","localConversationPage.createPrModal.viewTitle":"طلب سحب جاهز","localConversationPage.createPullRequestAuthGh":"يلزم مصادقة GitHub CLI: يرجى تنفيذ الأمر `gh auth login`","localConversationPage.createPullRequestBranchMissing":"معلومات الفرع غير متوفرة","localConversationPage.createPullRequestButtonLabel":"إنشاء طلب سحب","localConversationPage.createPullRequestButtonLabel.loading":"جارٍ إنشاء PR...","localConversationPage.createPullRequestDefaultBranchMissing":"معلومات الفرع الافتراضي غير متوفرة","localConversationPage.createPullRequestError":"تعذر إنشاء طلب السحب","localConversationPage.createPullRequestExistingPullRequest":"يوجد طلب سحب بالفعل لهذا الفرع","localConversationPage.createPullRequestGhStatusMissing":"جاري تحميل حالة GitHub CLI...","localConversationPage.createPullRequestInstallGh":"تثبيت GitHub CLI (gh) لإنشاء طلبات سحب","localConversationPage.createPullRequestNoRepo":"لم يتم العثور على قاعدة بيانات git","localConversationPage.createPullRequestPushStatusMissing":"جارٍ تحميل حالة الإرسال...","localConversationPage.createPullRequestSetUpstream":"أرسل هذا الفرع قبل إنشاء طلب سحب","localConversationPage.createPullRequestSuccessToast":"تم إنشاء طلب السحب","localConversationPage.createPullRequestSwitchBranch":"انتقل إلى فرع ميزة قبل إنشاء طلب سحب","localConversationPage.error.render":"خطأ في عرض المحادثة الداخلية","localConversationPage.error.toast":"تعذر العثور على المحادثة","localConversationPage.forcePushError":"تعذر الإرسال القسري","localConversationPage.generatePullRequestMessageError":"فشل إنشاء عنوان ونص طلب السحب","localConversationPage.generatePullRequestMessageFailed":"فشل إنشاء عنوان ونص طلب السحب.","localConversationPage.gitActionResult.branch":"فرع","localConversationPage.gitActionResult.cancel":"إلغاء","localConversationPage.gitActionResult.close":"إغلاق","localConversationPage.gitActionResult.tryAgain":"أعد المحاولة","localConversationPage.gitActions":"إجراءات Git","localConversationPage.newChat":"دردشة جديدة","localConversationPage.openInTarget":"فتح في","localConversationPage.openPrimaryTarget":"فتح","localConversationPage.planItemsCompleted":"{completedItems} من {totalItems, plural, zero {لا يوجد مهام تم إكمالها} one {تم إكمال مهمة واحدة} two {تم إكمال مهمتين} few {تم إكمال # مهام} many {تم إكمال # مهمة} other {تم إكمال # مهمة}}","localConversationPage.pushAuthError":"تعذر الإرسال: المصادقة مطلوبة","localConversationPage.pushBranchMissing":"معلومات الفرع غير متوفرة","localConversationPage.pushButtonLabel":"الإشعارات الفورية","localConversationPage.pushButtonLabel.loading":"جارٍ الإرسال...","localConversationPage.pushError":"تعذر إرسال التغييرات","localConversationPage.pushModal.branchLabel":"فرع","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"إلغاء","localConversationPage.pushModal.confirm":"الإشعارات الفورية","localConversationPage.pushModal.description":"أرسل أحدث عمليات التسجيل الخاصة بك إلى قاعدة البيانات البعيدة.","localConversationPage.pushModal.errorTitle":"تعذر الإرسال","localConversationPage.pushModal.forcePush":"الإرسال القسري","localConversationPage.pushModal.successTitle":"تم الانتهاء من الإرسال","localConversationPage.pushModal.title":"أرسل تغييرات","localConversationPage.pushModal.tryAgain":"أعد المحاولة","localConversationPage.pushNoUpstream":"اربط هذا الفرع بفرع بعيد قبل الإرسال","localConversationPage.pushNoUpstreamError":"تعذر الإرسال: لم يتم إعداد الفرع البعيد","localConversationPage.pushNothingToPush":"لا توجد تثبيتات جديدة للإرسال","localConversationPage.pushRemoteChangedError":"تعذر الإرسال: توجد تثبيتات جديدة في الفرع البعيد","localConversationPage.pushRemoteRejectedError":"رفض الفرع البعيد الإرسال","localConversationPage.pushStatusMissing":"جارٍ تحميل حالة الإرسال...","localConversationPage.pushSuccessToast":"التغييرات المُرسلة","localConversationPage.viewPullRequestButtonLabel":"عرض طلب السحب","localConversationPage.viewPullRequestButtonLabel.loading":"جارٍ تحميل طلب السحب…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, zero {# قوائم} one {قائمة واحدة (#)} two {قائمتان (#)} few {# قوائم} many {# قائمة} other {# قائمة}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, zero {تم إجراء # عمليات بحث} one {تم إجراء علمية بحث واحدة} two {تم إجراء # عمليات بحث} few {تم إجراء # عمليات بحث} many {تم إجراء # عمليات بحث} other {تم إجراء # عمليات بحث}}</countText>","localConversationTurn.exploration.accordion.count.separator":"،","localConversationTurn.exploration.accordion.header.active":"جاري الاستكشاف","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"تم الاستكشاف","localConversationTurn.exploration.accordion.header.complete.withCounts":"تم استكشاف {counts}","localConversationTurnStory.showContent":"إظهار المحتوى","localConversationTurnStory.streamContent":"بث المحتوى","localConversationTurnStory.toggleReasoning":"إظهار التفكير المنطقي المتعمق","localTaskRow.archiveError":"تعذر أرشفة المحادثة","localTaskRow.resumeError":"تعذر استئناف المهمة","mermaidDiagram.ariaLabel":"رسم توضيحي من نوع Mermaid","mermaidDiagram.copySource":"نسخ Mermaid","mermaidDiagram.originalCode":"كود المصدر Mermaid","notifications.permissions.description":"عرض التنبيهات عند الحاجة إلى أذونات الإشعارات","notifications.permissions.label":"تمكين إشعارات الأذونات","notifications.turnMode.always":"دائمًا","notifications.turnMode.description":"يتم التعيين عندما يُنبّهك Codex بأنه انتهى","notifications.turnMode.label":"تفعيل إشعارات الإكمال","notifications.turnMode.off":"غير موجود","notifications.turnMode.unfocused":"عندما يكون غير نشط","patchApprovalRequest.approve":"موافقة","patchApprovalRequest.menu.allowAlways":"نعم، ولا تسألني مرة أخرى في هذه الجلسة","patchApprovalRequest.menu.allowForSession":"نعم، ولا تسألني مرة أخرى في هذه الجلسة","patchApprovalRequest.menu.allowOnce":"نعم","patchApprovalRequest.prompt":"هل ترغب في إجراء هذه التغييرات؟","patchApprovalRequest.reject":"لا","patchApprovalRequest.waitingForApproval":"في انتظار الموافقة لتحرير الملفات","pendingRequest.approvalExec.collapse":"طي","pendingRequest.approvalExec.expand":"توسيع","pendingRequestStory.toastAnswer":"الإجابة: {answer}","pendingRequestStory.toastApprovalTitle":"ردّ الموافقة","pendingRequestStory.toastFollowupPrompt":"مطالبة: {prompt}","pendingRequestStory.toastFollowupTitle":"تم إرسال رسالة المتابعة","pendingRequestStory.toastNoAnswers":"لم يتم تقديم أي إجابات","pendingRequestStory.toastQuestion":"السؤال: {question}","pendingRequestStory.toastUnknownDecision":"غير معروف","pendingRequestStory.toastUserInputTitle":"الإجابات المقدَّمة","quickAction.request.codeReview.branches.new":"يرجى مراجعة التغييرات الموجودة في {from} مقارنة بـ {to}","quickAction.request.codeReview.uncommitted.new":"يرجى مراجعة التغييرات غير المحفوظة","reasoningItem.thinking":"جاري التفكير","reasoningItem.thought":"قام بالتفكير","reasoningItem.thoughtWithElapsed":"قام بالتفكير لمدة {elapsed}","recentConversations.title":"المحادثات الأخيرة","recentTasks.worktreeInitFailedTitle":"تعذر تهيئة مساحة العمل الموازية","recentTasks.worktreeSettingUpTitle":"إعداد مساحة العمل الموازية","requestInputPanel.continue":"متابعة","requestInputPanel.dismiss":"إغلاق","requestInputPanel.escapeKey":"اضغط على ESC","requestInputPanel.freeFormPlaceholder":"اكتب هنا","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"لا، وأخبر Codex بما يجب عليه فعله بطريقة مختلفة","requestInputPanel.selectedBadge":"المحددة","requestInputPanel.skip":"تجاوز","requestInputPanel.submit":"إرسال","review.commit.ariaLabel.includeUnstaged":"تضمين التغييرات غير المجزئة","review.commit.buttonLabel":"إجراء","review.commit.disabled.committing":"جارٍ التسجيل...","review.commit.disabled.loadingDiff":"جاري تحميل التغييرات...","review.commit.disabled.missingContext":"أضف بعض السياق لإنشاء رسالة تأكيد","review.commit.disabled.noChanges":"لا توجد تغييرات لتأكيدها","review.commit.disabled.noSelection":"حدد التغييرات التي سيتم تأكيدها","review.commit.disabled.unavailable":"التأكيد غير متاح حاليًا","review.commit.error":"تعذر تطبيق التغييرات","review.commit.form.changesToBeCommitted":"التغييرات","review.commit.form.commitTo":"فرع","review.commit.form.commitTo.none":"-","review.commit.form.continue":"متابعة","review.commit.form.title":"تأكيد تغييراتك","review.commit.generate.emptyResponse":"تعذر إنشاء رسالة تأكيد.","review.commit.generate.failed":"فشل إنشاء رسالة التأكيد: {error}","review.commit.generate.missingPrompt":"أضف بعض السياق لإنشاء رسالة تأكيد.","review.commit.includeUnstaged":"تضمين التغييرات غير المجزئة","review.commit.loading.description":"تمالك نفسك، قد يستغرق هذا بضع لحظات...","review.commit.loading.step.commit.done":"التغييرات المؤكدة","review.commit.loading.step.commit.pending":"جارٍ تنفيذ التغييرات","review.commit.loading.step.createPr.done":"تم إنشاء طلب سحب","review.commit.loading.step.createPr.pending":"جارٍ إنشاء طلب سحب","review.commit.loading.step.push.done":"تم الإرسال إلى الفرع {branch}","review.commit.loading.step.push.pending":"جارٍ الإرسال على الفرع {branch}","review.commit.loading.title.commit":"جارٍ تنفيذ التغييرات","review.commit.loading.title.createPr":"جارٍ إنشاء طلب سحب","review.commit.loading.title.push":"جارٍ إرسال التغييرات","review.commit.messageLabel":"تحرير الإجراء","review.commit.messagePlaceholder":"اتركه فارغًا لإنشاء رسالة الالتزام تلقائيًا","review.commit.nextSteps":"الخطوات التالية","review.commit.nextSteps.commit":"تسجيل","review.commit.nextSteps.commitAndCreate":"تسجيل وإنشاء طلب سحب","review.commit.nextSteps.commitAndPush":"التسجيل والإرسال","review.commit.nextSteps.prRequiresGh":"يتطلب GitHub CLI: {command}","review.commit.rows.changes":"التغييرات","review.commit.rows.commitCount":"{count, plural, zero {بلا تأكيدات (#)} one {تأكيد واحد (#)} two { تأكيدان (#)} few {# تأكيدات} many {# تأكيدًا} other {# تأكيدٍ}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, zero {لا يوجد تأكيدات (#)} one {تأكيد واحد (#)} two {تأكيدان (#)} few {# تأكيدات} many {# تأكيدًا} other {# تأكيد}} و {stats}","review.commit.rows.fileCount":"{count, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}}","review.commit.state.error.body":"حدث خطأ ما أثناء عملية تأكيد التغييرات. تحقق من حالة git وحاول مرة أخرى.","review.commit.state.error.title":"فشل التأكيد","review.commit.state.success.title":"تم تسجيل التغييرات","review.commit.untracked.loadingStats":"جارٍ تحميل إحصاءات الاختلافات التي لم يتم تعقبها…","reviewFindingAttachments.count":"{count, plural, zero {لا نتائج (#)} one {نتيجة واحدة (#)} two {نتيجتان (#)} few {# نتائج} many {# نتيجة} other {# نتيجة}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"تحرير التكوين لتخصيص استجابة الوكيل","settings.agent.configuration.configToml.docs":"المستندات","settings.agent.configuration.configToml.restartNote":"أعد تشغيل Codex بعد التحرير لتطبيق التغييرات","settings.agent.configuration.subtitle":"تنطبق هذه الإعدادات على أي مكان يُستخدم فيه Codex","settings.automations.banner.danger":'تتم الأتمتة وفقًا لإعدادات بيئة الاختبار المعزولة الافتراضية، والمعيّنة حاليًا على "الوصول الكامل". ينطوي تشغيل الأتمتة في الخلفية بصلاحية "الوصول الكامل" على مخاطر مرتفعة؛ حيث يمكن لـ Codex تعديل الملفات، وتشغيل الأوامر، والوصول إلى الشبكة دون إذن مسبق. يُرجى النظر في تحديث الإعدادات إلى صلاحية الكتابة في مساحة العمل، واستخدام <rulesDocsLink>القواعد</rulesDocsLink> لتحديد الأوامر التي يُسمح للوكيل بتشغيلها بصلاحية الوصول الكامل.',"settings.automations.banner.defaultHowTo.default":"تتم الأتمتة وفقًا لإعدادات بيئة الاختبار المعزولة الافتراضية، ستفشل استدعاءات الأدوات إذا كانت تتطلب تعديل ملفات خارج مساحة العمل، أو الوصول إلى الشبكة، أو التعامل مع التطبيقات المثبتة على جهازك. يمكنك استخدام <rulesDocsLink>القواعد</rulesDocsLink> للسماح بتشغيل أوامر محددة خارج بيئة الاختبار.","settings.automations.banner.defaultHowTo.readOnly":"تتم الأتمتة وفقًا لإعدادات بيئة الاختبار المعزولة الافتراضية، والمعيّنة حاليًا على وضع القراءة فقط. ستفشل استدعاءات الأدوات إذا كانت تتطلب تعديل الملفات، أو الوصول إلى الشبكة، أو التعامل مع التطبيقات المثبتة على جهازك. يُرجى النظر في تحديث إعدادات بيئة العمل إلى صلاحية الكتابة في مساحة العمل.","settings.automations.cancel":"إلغاء","settings.automations.create":"إنشاء","settings.automations.cwdEmpty":"لا توجد مجلدات مشروعات متاحة","settings.automations.cwdLabel":"المشروعات","settings.automations.cwdPlaceholder":"اختر مجلدًا","settings.automations.cwdSubtitle":"إذا كنت ترغب في تشغيل أتمتة على فرع معين، يمكنك تحديد ذلك في الطلب.","settings.automations.delete":"حذف","settings.automations.dialog.editTitle":"تحرير عملية الأتمتة","settings.automations.dialog.newTitle":"عملية أتمتة جديدة","settings.automations.dialog.subtitle":"أتمتة المهام المتكررة في الخلفية؛ حيث يقوم Codex بإضافة النتائج إلى صندوق الوارد، أو أرشفة المهمة تلقائيًا إذا لم يكن هناك ما يستدعي التقرير. <learnMoreLink>تعرف على المزيد</learnMoreLink>","settings.automations.dialog.title":"إنشاء عملية أتمتة","settings.automations.executionCopy.git":"تُنفذ عمليات الأتمتة في الخلفية عبر مساحات عمل موازية مخصصة.","settings.automations.executionCopy.nonGit":"تُنفذ عمليات الأتمتة في المشاريع غير الخاضعة للتحكم بالإصدارات مباشرةً داخل مجلد المشروع. يُرجى النظر في استخدام Git لتمكين تشغيل الأتمتة عبر مساحات عمل موازية في الخلفية.","settings.automations.executionEnvironment.local":"داخليًا","settings.automations.executionEnvironment.worktree":"مساحة العمل الموازية","settings.automations.loading":"جاري التحميل...","settings.automations.nameLabel":"الاسم","settings.automations.namePlaceholder":"التحقق من وجود مشكلات sentry","settings.automations.pause":"إيقاف مؤقت","settings.automations.promptLabel":"أمر","settings.automations.promptPlaceholder":"البحث عن الأعطال في $Sentry","settings.automations.resume":"استئناف","settings.automations.rruleSummaryFallback":"مواعيد مخصصة","settings.automations.runNow":"تجربة","settings.automations.save":"حفظ","settings.automations.scheduleBadge.dayCount":"{count} أيام","settings.automations.scheduleBadge.interval":"{count} ساعات","settings.automations.scheduleBadge.weekdays":"أيام أسبوع","settings.automations.scheduleBadge.weekends":"عطلات نهاية أسبوع","settings.automations.scheduleHeader":"تحديد موعد","settings.automations.scheduleHours":"ساعة","settings.automations.scheduleLabel":"تشغيل كل","settings.automations.scheduleMode.daily":"يوميًا","settings.automations.scheduleMode.interval":"فاصل زمني","settings.automations.scheduleModeLabel":"نوع الجدول الزمني","settings.automations.scheduleSummary.daily":"يوميًا في {time}","settings.automations.scheduleSummary.interval":"كل {count}س","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, zero {# أيام} one {# يوم} two {# أيام} few {# أيام} many {# أيام} other {# أيام}}","settings.automations.scheduleSummary.intervalDays":"{interval} في {days}","settings.automations.scheduleSummary.intervalHourly":"كل ساعة","settings.automations.scheduleSummary.singleDay":"{day} في {time}","settings.automations.scheduleSummary.weekdays":"أيام أسبوع في {time}","settings.automations.scheduleSummary.weekdaysLabel":"أيام أسبوع","settings.automations.scheduleSummary.weekends":"عطلات نهاية أسبوع في {time}","settings.automations.scheduleSummary.weekendsLabel":"عطلات نهاية أسبوع","settings.automations.scheduleSummary.weekly":"{days} في {time}","settings.automations.scheduleWeekdays":"مفعل","settings.automations.weekdayState.excluded":"مُستثنى","settings.automations.weekdayState.included":"مُضمَن","settings.conversationDetail.steps":"الخطوات","settings.conversationDetail.steps.description":"إخفاء الأوامر والمخرجات","settings.conversationDetail.stepsWithCommands":"خطوات مع أوامر أكواد برمجية","settings.conversationDetail.stepsWithCommands.description":"عرض الأوامر، طي المخرجات","settings.conversationDetail.stepsWithOutput":"خطوات مع مخرجات أكواد برمجية","settings.conversationDetail.stepsWithOutput.description":"عرض الأوامر وتوسيع المخرجات","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}، {time} • {repo}","settings.dataControls.archivedChats.empty":"لا توجد دردشات مؤرشفة.","settings.dataControls.archivedChats.error":"تعذر تحميل الدردشات المؤرشفة.","settings.dataControls.archivedChats.loading":"جارٍ تحميل الدردشات المؤرشفة...","settings.dataControls.archivedChats.unarchive":"إلغاء الأرشفة","settings.dataControls.archivedChats.unarchiveError":"تعذر إلغاء أرشفة الدردشة","settings.dataControls.archivedChats.unarchiveSuccess":"سلسلة رسائل غير مؤرشفة. <viewNowLink>شاهد الآن</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"سلسلة رسائل غير مؤرشفة.","settings.dataControls.archivedChats.untitled":"دردشة بدون عنوان","settings.dataControls.archivedChats.viewNow":"عرض الآن","settings.editRow.headerPlaceholder":"مفتاح","settings.editRow.removeEntry":"إزالة الإدخالات","settings.editRow.valuePlaceholder":"القيمة","settings.general.appearance":"المظهر","settings.general.appearance.codeFont":"خط الكود البرمجي","settings.general.appearance.codeFont.description":"اضبط نوع الخط وحجمه المستخدم في الكود البرمجي عبر الدردشات والاختلافات","settings.general.appearance.codeFontFamily":"عائلة خطوط الكود","settings.general.appearance.codeFontSize":"حجم خط التعليمات البرمجية","settings.general.appearance.codeFontSize.units":"بكسل","settings.general.appearance.opaqueWindows.description":"اجعل النوافذ تستخدم خلفية مصمتة بدلاً من الشفافية الخاصة بالنظام.","settings.general.appearance.opaqueWindows.label":"استخدم خلفية نافذة معتمة","settings.general.appearance.sansFontFamily":"عائلة خطوط Sans","settings.general.appearance.sansFontFamily.description":"اضبط الخط المستخدم في واجهة Codex","settings.general.appearance.sansFontSize":"حجم خط Sans","settings.general.appearance.sansFontSize.units":"بكسل","settings.general.appearance.sparkCelebrationEffects.description":"عرض مؤثرات احتفالية بملء الشاشة أثناء تشغيل GPT-5.3-Codex-Spark للدور الأول","settings.general.appearance.sparkCelebrationEffects.label":"تفعيل مؤثرات Spark الاحتفالية.","settings.general.appearance.theme":"المظهر","settings.general.appearance.theme.dark":"داكن","settings.general.appearance.theme.description":"استخدم الوضع الفاتح أو الداكن، أو المطابق لنظامك","settings.general.appearance.theme.light":"فاتح","settings.general.appearance.theme.system":"النظام","settings.general.appearance.usePointerCursors.description":"تغيير شكل المؤشر إلى شكل يد (Pointer) عند تمريره فوق العناصر التفاعلية","settings.general.appearance.usePointerCursors.label":"استخدام مؤشر اليد (Pointer)","settings.general.enterBehavior.description":"عند التفعيل، تتطلب الطلبات متعددة الأسطر الضغط على مفتاحي {modifierSymbol} + enter للإرسال.","settings.general.enterBehavior.label":"يلزم الضغط على مفتاحي {modifierSymbol} و Enter لإرسال طلبات طويلة","settings.general.experimentalFeatures":"الميزات التجريبية (بيتا)","settings.general.experimentalFeatures.empty":"لا تتوفر أي ميزات تجريبية في النسخة التجريبية.","settings.general.experimentalFeatures.loading":"جارٍ تحميل الميزات التجريبية…","settings.general.experimentalFeatures.restartNote":"أعد تشغيل Codex لتطبيق تغييرات الميزات التجريبية","settings.general.experimentalFeatures.toggle":"التغيير لـ {featureName}","settings.general.followUpQueueMode.description":"إضافة المتابعات إلى قائمة الانتظار أثناء تشغيل Codex أو توجيه التشغيل الحالي. اضغط {invertFollowUpShortcutLabel} لتطبيق الخيار المعاكس على رسالة واحدة.","settings.general.followUpQueueMode.interrupt":"توجيه","settings.general.followUpQueueMode.label":"سلوك المتابعة","settings.general.followUpQueueMode.queue":"إضافة إلى قائمة الانتظار","settings.general.notifications":"الإشعارات","settings.general.power.preventSleepWhileRunning.description":"أبقِ جهاز الكمبيوتر قيد التشغيل أثناء تشغيل برنامج Codex لأي عملية.","settings.general.power.preventSleepWhileRunning.label":"منع الدخول في وضع السكون أثناء التشغيل","settings.git.branchPrefix.ariaLabel":"بادئة الفرع","settings.git.branchPrefix.description":"البادئة المستخدمة عند إنشاء فروع جديدة في Codex","settings.git.branchPrefix.label":"بادئة الفرع","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"فشل حفظ بادئة الفرع","settings.git.branchPrefix.save.success":"بادئة الفرع المحفوظة","settings.git.commitInstructions.ariaLabel":"تعليمات التأكيد","settings.git.commitInstructions.description":"تمت إضافتها إلى مطالبات إنشاء رسالة التأكيد","settings.git.commitInstructions.label":"تعليمات التأكيد","settings.git.commitInstructions.placeholder":"أضف إرشادات رسالة التأكيد…","settings.git.commitInstructions.save":"حفظ","settings.git.commitInstructions.save.error":"فشل حفظ تعليمات التأكيد","settings.git.commitInstructions.save.success":"تم حفظ تعليمات التأكيد","settings.git.forcePush.ariaLabel":"إرسال قسري دومًا","settings.git.forcePush.description":"استخدم الخيار --الإجبار على الدفع مع التحقق عند الإرسال من Codex","settings.git.forcePush.label":"إرسال قسري دومًا","settings.git.forcePush.save.disabled":"تم تعطيل خيار الإرسال القسري دومًا","settings.git.forcePush.save.enabled":"تم تمكين خيار الإرسال القسري دومًا","settings.git.forcePush.save.error":"فشل حفظ إعدادات الإرسال القسري","settings.git.prInstructions.ariaLabel":"تعليمات طلبات السحب","settings.git.prInstructions.description":"تمت إضافتها إلى نصوص طلبات السحب التي أنشأها Codex","settings.git.prInstructions.label":"تعليمات طلبات السحب","settings.git.prInstructions.placeholder":"أضف إرشادات طلبات السحب...","settings.git.prInstructions.save":"حفظ","settings.git.prInstructions.save.error":"فشل حفظ تعليمات طلبات السحب","settings.git.prInstructions.save.success":"تم حفظ تعليمات طلبات السحب","settings.ide.defaultOpenTarget.description":"الموقع الافتراضي لفتح الملفات والمجلدات","settings.ide.defaultOpenTarget.label":"الموقع الافتراض للفتح","settings.ide.defaultOpenTarget.placeholder":"لم يتم العثور أهداف","settings.ide.language.auto":"اكتشاف تلقائي","settings.ide.language.autoOption":"اكتشاف تلقائي","settings.ide.language.description":"لغة واجهة التطبيق","settings.ide.language.label":"اللغة","settings.ide.language.search":"بحث في اللغات","settings.layout.actionButton":"إعادة تشغيل المكون الإضافي","settings.layout.actionTitle":"إعدادات مصحوبة بإجراء","settings.layout.fullWidthTitle":"الإعدادات (بعرض كامل)","settings.layout.title":"الإعدادات","settings.localEnvironments.actions.add":"إضافة إجراء","settings.localEnvironments.actions.add.description":"إنشاء أمر جديد للتشغيل من شريط الأدوات.","settings.localEnvironments.actions.add.save":"حفظ","settings.localEnvironments.actions.empty":"إضافة إجراء لتشغيل الأوامر من شريط الأدوات الداخلي.","settings.localEnvironments.actions.icon.debug":"تصحيح الأخطاء","settings.localEnvironments.actions.icon.run":"تنفيذ التعليمات البرمجية","settings.localEnvironments.actions.icon.test":"تجربة","settings.localEnvironments.actions.icon.tool":"أداة","settings.localEnvironments.actions.item.button.delete":"حذف","settings.localEnvironments.actions.item.command":"البرنامج النصي الخاص بالإجراء","settings.localEnvironments.actions.item.name":"الاسم","settings.localEnvironments.actions.item.platforms":"المنصات","settings.localEnvironments.actions.item.platforms.help":"تشغيل الإجراء على نظام تشغيل محدد فقط.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"تحديد المنصة","settings.localEnvironments.actions.item.platforms.specific":"خاص بمنصة معينة","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"حذف","settings.localEnvironments.actions.title":"الإجراءات","settings.localEnvironments.breadcrumb.back":"رجوع","settings.localEnvironments.breadcrumb.edit":"تحرير","settings.localEnvironments.breadcrumb.root":"البيئات","settings.localEnvironments.environment.actions.description":"يمكن لهذه الإجراءات تشغيل أي أمر، وسيتم عرضها في شريط العنوان.","settings.localEnvironments.environment.actionsLabel":"الإجراءات","settings.localEnvironments.environment.create":"إنشاء البيئات الداخلية","settings.localEnvironments.environment.defaultName":"داخليًا","settings.localEnvironments.environment.edit":"تحرير البيئات الداخلية","settings.localEnvironments.environment.empty":"لم يتم إعداد أي بيئة داخلية لهذا المشروع بعد.","settings.localEnvironments.environment.name":"الاسم","settings.localEnvironments.environment.setup":"إعداد البرنامج النصي","settings.localEnvironments.environment.setup.description":"سيتم تشغيل هذا البرنامج النصي عند إنشاء مساحة العمل الموازية.","settings.localEnvironments.environment.setup.hint":"يتم التشغيل في المجلد الرئيسي للمشروع.","settings.localEnvironments.environment.setup.platformOverrides":"تجاوز المنصات","settings.localEnvironments.environment.setup.platformOverrides.add":"إضافة البرنامج النصي لإعداد {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"يتجاوز البرنامج النصي الافتراضي لأنظمة تشغيل محددة.","settings.localEnvironments.environment.setup.platformOverrides.remove":"إزالة","settings.localEnvironments.environment.setup.script":"البرنامج النصي","settings.localEnvironments.environment.title":"تفاصيل البيئة","settings.localEnvironments.file.missing":"قم بالحفظ لإنشاء هذا الملف للمرة الأولى.","settings.localEnvironments.file.parseError":"تعذّر تحليل الملف الحالي. سيؤدي الحفظ إلى استبداله. ({error})","settings.localEnvironments.file.path":"الملف: {path}","settings.localEnvironments.file.readError":"تعذر تحميل بيانات البيئات الداخلية. ({error})","settings.localEnvironments.file.title":"ملف البيئات الداخلية","settings.localEnvironments.loading.body":"استرجاع تكوين المشروع الخاص بك.","settings.localEnvironments.loading.title":"جارٍ تحميل البيئات الداخلية","settings.localEnvironments.preview.devOnly":"(DEV فقط)","settings.localEnvironments.preview.save":"حفظ","settings.localEnvironments.preview.saveError":"تعذر حفظ الملف. ({error})","settings.localEnvironments.preview.title":"معاينة","settings.localEnvironments.save.disabled.name":"إضافة اسم بيئة للحفظ.","settings.localEnvironments.save.disabled.noChanges":"لا توجد تغييرات لحفظها","settings.localEnvironments.save.disabled.saving":"جاري الحفظ...","settings.localEnvironments.save.success":"البيئات الداخلية التي تم حفظها","settings.localEnvironments.unavailable.body":"لم نتمكن من تحميل إعدادات البيئة الداخلية لهذا المشروع.","settings.localEnvironments.unavailable.title":"البيئات الداخلية غير متاحة","settings.localEnvironments.workspace.add":"إضافة مشروع","settings.localEnvironments.workspace.title":"مشروع","settings.localEnvironments.workspaceSelect.addLabel":"إضافة بيئة","settings.localEnvironments.workspaceSelect.description":"توضح البيئات المحلية لـ Codex طريقة إعداد مساحات عمل موازية للمشروع. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"لا توجد مشروعات بعد. أضف واحد لتتمكن من إعداد البيئات الداخلية.","settings.localEnvironments.workspaceSelect.errorLabel":"تحتاج البيئة إلى اهتمام","settings.localEnvironments.workspaceSelect.learnMore":"تعرف على المزيد","settings.localEnvironments.workspaceSelect.listLabel":"المشاريع المتاحة","settings.localEnvironments.workspaceSelect.loading":"تحميل المشروعات","settings.localEnvironments.workspaceSelect.loadingLabel":"تحميل البيئة","settings.localEnvironments.workspaceSelect.title":"تحديد مشروع","settings.localEnvironments.workspaceSelect.viewAction":"عرض","settings.mcp.addServer":"أضف خادم","settings.mcp.app.configure":"تكوين","settings.mcp.app.connect":"ربط","settings.mcp.apps.refresh":"تنشيط","settings.mcp.detail.addArgument":"إضافة معامل","settings.mcp.detail.addEnvVar":"إضافة متغير بيئي","settings.mcp.detail.addEnvVarPassthrough":"إضافة متغير","settings.mcp.detail.args":"المعاملات","settings.mcp.detail.back":"رجوع","settings.mcp.detail.command":"أمر البدء","settings.mcp.detail.cwd":"دليل العمل","settings.mcp.detail.docs":"فتح وثائق MCP","settings.mcp.detail.docs.link":"المستندات","settings.mcp.detail.envVarPassthrough":"تمرير المتغير البيئي","settings.mcp.detail.envVars":"متغيرات البيئة","settings.mcp.detail.http.addEnvHeader":"إضافة متغير","settings.mcp.detail.http.addHeader":"إضافة عنوان","settings.mcp.detail.http.bearerToken":"متغيرات البيئة للرمز المميز للمالك","settings.mcp.detail.http.envHeaders":"عناوين من المتغيرات البيئية","settings.mcp.detail.http.headers":"العناوين","settings.mcp.detail.http.url":"عنوان URL","settings.mcp.detail.name":"الاسم","settings.mcp.detail.save":"حفظ","settings.mcp.detail.switchTransportNotice":"إذا كنت ترغب في تغيير نوع خادم MCP، يرجى إلغاء التثبيت أولاً.","settings.mcp.detail.titleExisting":"تحديث {name} MCP","settings.mcp.detail.titleNew":"الاتصال بخادم MCP مخصص","settings.mcp.detail.transport.http":"HTTP قابل للبث","settings.mcp.detail.transport.stdio":"الإدخال / الإخراج القياسي (STDIO)","settings.mcp.detail.uninstall":"إلغاء التثبيت","settings.mcp.empty":"لا توجد خوادم MCP مخصصة متصلة","settings.mcp.myServers":"خوادم مخصصة","settings.mcp.partnerServer.description.figma":"ارفع جودة التعليمات البرمجية عبر الاستفادة من كامل تفاصيل تصميم Figma","settings.mcp.partnerServer.description.github":"قم بالدمج مع واجهات GitHub API لأتمتة سير العمل واستخراج البيانات","settings.mcp.partnerServer.description.linear":"قم بالدمج مع نظام تتبع المشكلات وإدارة المشروعات الخاص بـ Linear","settings.mcp.partnerServer.description.notion":"قراءة المستندات وتحديث الصفحات وإدارة المهام","settings.mcp.partnerServer.description.playwright":"قم بالدمج مع أتمتة المتصفح لتنفيذ التصميم واختبار واجهة المستخدم.","settings.mcp.partnerServer.install":"تثبيت","settings.mcp.partnerServer.installAndAuthenticate":"التثبيت والمصادقة","settings.mcp.partnerServer.logoAlt":"شعار {label}","settings.mcp.partnerServer.manage":"إدارة","settings.mcp.partnerServer.vendor":"تم الإنشاء بواسطة {vendor}","settings.mcp.recommendedServers":"الخوادم الموصى بها","settings.mcp.restartApp":"إعادة التشغيل","settings.mcp.restartExtension":"إعادة تشغيل المكون الإضافي","settings.mcp.server.enable":"تفعيل","settings.mcp.server.login":"مصادقة","settings.mcp.server.settings":"الإعدادات","settings.multiselect.createOption":'إنشاء "{value}"',"settings.multiselect.removeOption":"إزالة","settings.nav.account":"الحساب","settings.nav.agent":"التكوين","settings.nav.ariaLabel":"الإعدادات","settings.nav.back":"الرجوع إلى التطبيق","settings.nav.data-controls":"سلاسل الرسائل المؤرشفة","settings.nav.environments":"بيئات السحابة","settings.nav.externalTooltip":"[alpha] فتح في المتصفح","settings.nav.general-settings":"عام","settings.nav.git-settings":"Git","settings.nav.local-environments":"البيئات","settings.nav.mcp-settings":"خوادم MCP","settings.nav.notImplemented":"[alpha] غير متاح في الإصدار التجريبي الأولي","settings.nav.personalization":"تخصيص","settings.nav.skills-settings":"المهارات","settings.nav.usage-analytics":"الاستخدام والتحليلات","settings.nav.worktrees":"مساحات العمل الموازية","settings.openSourceLicenses.back":"رجوع","settings.openSourceLicenses.loading":"جاري التحميل...","settings.openSourceLicenses.missing":"لم يتم العثور على إشعارات من جهات خارجية.","settings.openSourceLicenses.notSupported":"غير متاح في المضيف.","settings.openSourceLicenses.rowDescription":"إشعارات الجهات الخارجية للارتباطات المرفقة","settings.openSourceLicenses.rowLabel":"التراخيص مفتوحة المصدر","settings.openSourceLicenses.subtitle":"إشعارات الجهات الخارجية للارتباطات مضمنة في هذا التطبيق","settings.openSourceLicenses.title":"التراخيص مفتوحة المصدر","settings.openSourceLicenses.view":"عرض","settings.personalization.agents.description":"تحرير التعليمات لتخصيص Codex لك. {learnMore}","settings.personalization.agents.learnMore":"تعرف على المزيد","settings.personalization.agents.loadError":"تعذر تحميل ملف agents.md.","settings.personalization.agents.loading":"جاري تحميل ملف agents.md…","settings.personalization.agents.placeholder":"أضف تعليماتك المخصصة...","settings.personalization.agents.retry":"إعادة المحاولة","settings.personalization.agents.save":"حفظ","settings.personalization.agents.save.error":"تعذر حفظ ملف agents.md","settings.personalization.agents.save.success":"تم حفظ ملف agents.md","settings.personalization.agents.title":"التعليمات المخصصة","settings.personalization.personality.description":"اختر النبرة الافتراضية لاستجابات Codex","settings.personalization.personality.label":"شخصية","settings.sample.contentBody":"استخدم هذا المخطط لإنشاء لوحات الإعدادات الخاصة بك مع الحفاظ على تباعد متسق.","settings.sample.contentTitle":"مثال على قسم المحتوى","settings.section.account":"الحساب","settings.section.agent":"التكوين","settings.section.data-controls":"سلاسل الرسائل المؤرشفة","settings.section.environments":"بيئات السحابة","settings.section.external":"يفتح في متصفحك خلال الإصدار التجريبي Alpha","settings.section.general-settings":"عام","settings.section.git-settings":"Git","settings.section.local-environments":"البيئات","settings.section.mcp-settings":"خوادم MCP","settings.section.mcp-settings.docs":"المستندات","settings.section.mcp-settings.subtitle":"ربط أدوات ومصادر بيانات خارجية.","settings.section.personalization":"تخصيص","settings.section.skills-settings":"المهارات","settings.section.unavailable":"غير متاح في الإصدار التجريبي Alpha بعد","settings.section.usage-analytics":"الاستخدام والتحليلات","settings.section.worktrees":"مساحات العمل الموازية","settings.threadDetail.description":"اختر مقدار مخرجات الأوامر التي تريد عرضها في سلاسل الرسائل","settings.threadDetail.label":"تفاصيل سلسلة الرسائل","settings.worktrees.conversation.untitled":"محادثة بدون عنوان","settings.worktrees.delete.error":"فشل حذف مساحة العمل الموازية","settings.worktrees.empty.body":"ستظهر هنا مساحات العمل الموازية التي أنشأها برنامج Codex.","settings.worktrees.empty.title":"لا توجد مساحات عمل موازية حتى الآن","settings.worktrees.error.body":"حدث خطأ ما أثناء تحميل مساحات العمل الموازية.","settings.worktrees.error.retry":"إعادة المحاولة","settings.worktrees.error.title":"تعذر تحميل مساحات العمل الموازية","settings.worktrees.loading.body":"جلب تفاصيل مساحات العمل الموازية","settings.worktrees.loading.title":"تحميل مساحات العمل الموازية","settings.worktrees.repository.loading":"جارٍ تحميل بيانات تعريف قاعدة البيانات…","settings.worktrees.repository.unknown":"قاعدة بيانات غير معروفة","settings.worktrees.row.conversations":"المحادثات","settings.worktrees.row.conversations.empty":"لا توجد محادثات مرتبطة بمساحة العمل الموازية هذه.","settings.worktrees.row.conversations.loading":"جارٍ تحميل المحادثات...","settings.worktrees.row.delete":"حذف","settings.worktrees.row.title":"مساحة العمل الموازية","sidebarElectron.addWorkspaceRoot":"إضافة مشروع جديد","sidebarElectron.archiveThread":"أرشفة سلسلة الرسائل","sidebarElectron.archiveThreadError":"تعذر أرشفة سلسلة الرسائل","sidebarElectron.collapseFolder":"طي المجلد","sidebarElectron.createStableWorktree.dialog.cancel":"إلغاء","sidebarElectron.createStableWorktree.dialog.create":"إنشاء","sidebarElectron.debugNavLink":"تصحيح الأخطاء","sidebarElectron.editWorkspaceRootOptionName":"تحرير الاسم","sidebarElectron.expandFolder":"توسيع المجلد","sidebarElectron.groupByMenu.recency":"قائمة بالتسلسل الزمني","sidebarElectron.groupByMenu.title":"تنظيم","sidebarElectron.groupByMenu.workspace":"بواسطة المشروع","sidebarElectron.inboxRouteNavLink":"التشغيل التلقائي","sidebarElectron.markThreadUnread":"تمييز كغير مقروء","sidebarElectron.missingWorkspaceRoot":"تم حذف مجلد المشروع أو نقله","sidebarElectron.newThread":"سلسلة رسائل جديدة","sidebarElectron.newThreadInGroup":"بدء سلسلة رسائل جديدة في {folder}","sidebarElectron.noRecentThreads":"لا توجد سلاسل رسائل حديثة","sidebarElectron.noTasks":"لا توجد سلاسل رسائل","sidebarElectron.noTasks.start":"إضافة مشروع جديد","sidebarElectron.noTasksWithFilter":"لا توجد سلاسل رسائل تتطابق مع عوامل التصفية","sidebarElectron.pinnedThreads":"سلاسل الرسائل المثبتة","sidebarElectron.recentNavLink":"سلاسل الرسائل","sidebarElectron.recentThreads":"سلاسل الرسائل الحديثة","sidebarElectron.removeWorkspaceRootOption":"إزالة","sidebarElectron.renameThread":"إعادة تسمية سلسلة الرسائل","sidebarElectron.renameThreadDialogAriaLabel":"عنوان سلسلة الرسائل","sidebarElectron.renameThreadDialogCancel":"إلغاء","sidebarElectron.renameThreadDialogPlaceholder":"إضافة عنوان...","sidebarElectron.renameThreadDialogSave":"حفظ","sidebarElectron.renameThreadDialogSubtitle":"اجعله قصيرًا وواضحًا.","sidebarElectron.renameThreadDialogTitle":"إعادة تسمية سلسلة الرسائل","sidebarElectron.renameThreadError":"تعذر إعادة تسمية سلسلة الرسائل","sidebarElectron.renameWorkspaceRootOptionLabel":"اسم المستخدم المعروض","sidebarElectron.showLess":"عرض أقل","sidebarElectron.showMenu.all":"جميع سلاسل الرسائل","sidebarElectron.showMenu.relevant":"ذات صلة","sidebarElectron.showMenu.relevantHint":"إظهار سلاسل الرسائل فقط للفرع الحالي، أو مساحات العمل الموازية، أو سلاسل الرسائل الأخرى التي تتطلب انتباهك.","sidebarElectron.showMenu.title":"إظهار","sidebarElectron.showMenu.tooltip":"تصفية وفرز وتنظيم سلاسل الرسائل","sidebarElectron.showMenu.trigger":"تصفية سلاسل الرسائل في الشريط الجانبي","sidebarElectron.showMore":"عرض المزيد","sidebarElectron.skillsRouteNavLink":"المهارات","sidebarElectron.sortMenu.created":"تم الإنشاء","sidebarElectron.sortMenu.title":"فرز حسب","sidebarElectron.sortMenu.updated":"محدث","sidebarElectron.taskNavigation":"مجلدات الأتمتة","sidebarElectron.tasksInFolder":"عمليات الأتمتة في {folder}","sidebarElectron.workspaceOptions":"إجراءات المشروع لـ {folder}","sidebarElectron.worktreeGroupTooltip":"هذه مساحة عمل موازية git","skills.appsPage.createSkill":"مهارة جديدة","skills.appsPage.empty.skills":"لم يتم العثور على مهارات","skills.appsPage.search.skills":"البحث عن مهارات","skills.appsPage.search.skills.label":"البحث عن مهارات","skills.appsPage.section.installedApps":"تم التثبيت","skills.appsPage.section.skills":"المهارات","skills.appsPage.subheading":"منح Codex قوى خارقة. <link>تعرف على المزيد</link>","skills.appsPage.tab.recommended":"موصى به","skills.appsPage.tab.skills":"المهارات","skills.card.contentsError":"تعذر تحميل محتويات المهارات.","skills.card.disable":"إيقاف","skills.card.disableSuccess":"تم تعطيل مهارة {skillName}","skills.card.disabledBadge":"تم الإيقاف","skills.card.enable":"تفعيل","skills.card.enableSuccess":"تم تمكين مهارة {skillName}","skills.card.loadingContents":"جاري تحميل محتويات المهارات...","skills.card.more":"المزيد من الإجراءات","skills.card.open":"فتح","skills.card.removeFailed":"فشل إلغاء تثبيت المهارة","skills.card.removeSuccess":"تم إلغاء تثبيت مهارة {skillName}","skills.card.toggleEnabledError":"تعذر تحديث المهارات","skills.card.try":"جرب","skills.card.trySkill":"تجربة مهارة","skills.card.uninstall":"إلغاء التثبيت","skills.hero.dotLabel":"انتقل إلى الشريحة {index}","skills.hero.next":"المهارة المميزة التالية","skills.hero.trySkill":"تجربة مهارة","skills.page.createSkill":"مهارة جديدة","skills.page.empty":"لم يتم العثور على مهارات","skills.page.filteredEmpty":"لا توجد مهارات مطابقة لعوامل التصفية الخاصة بك","skills.page.filteredEmptyDescription":"جرب تعديل بحثك أو عوامل تصفية النطاق","skills.page.heading":"المهارات","skills.page.loading":"جاري تحميل المهارات...","skills.page.refreshSkills":"تنشيط","skills.page.refreshSkillsToUseNew":"قم بالتحديث لاستخدام المهارة/المهارات الجديدة","skills.page.search":"البحث عن مهارات","skills.page.search.label":"البحث عن مهارات","skills.page.subheading":"منح Codex قوى خارقة. <link>تعرف على المزيد</link>","skills.preview.copyPrompt":"نسخ الطلب","skills.preview.examplePrompt":"مثال على سؤال","skills.recommended.error":"تعذّر تحميل المهارات الموصى بها","skills.recommended.install":"تثبيت","skills.recommended.installSkill":"تثبيت مهارة","skills.recommended.installSuccess":"{skillName} تم تثبيت المهارة","skills.recommended.installed":"تم التثبيت","skills.scope.admin":"المسؤول","skills.scope.adminInstalled":"تم التثبيت بواسطة المسؤول","skills.scope.builtIn":"النظام","skills.scope.personal":"شخصي","skills.scope.repo":"قاعدة البيانات","skills.scope.system":"النظام","skills.scope.team":"الفريق","skills.scope.user":"المستخدم","skills.section.installed":"تم التثبيت","skills.section.recommended":"موصى به","story.slidingToggle.existing":"الفرع الحالي","story.slidingToggle.fromLocal":"من التعديلات المجلية","story.slidingToggle.new":"جديد","story.slidingToggle.toLocal":"إلى التعديلات المحلية","terminal.close":"إغلاق الوحدة الطرفية","terminal.title":"وحدة طرفية","thinkingShimmer.default":"جاري التفكير","threadEnvIcon.cloudTooltip":"تُجرى هذه المحادثة في Codex Cloud.","threadEnvIcon.localTooltip":"تُجرى هذه المحادثة محليًا.","threadEnvIcon.worktreeTooltip":"تُجرى هذه المحادثة في مساحة عمل موازية محلية لـ Git.","threadHeader.archiveConfirmCancel":"إلغاء","threadHeader.archiveConfirmConfirm":"أرشفة","threadHeader.archiveConfirmSubtitle":"يمكنك العثور عليه لاحقًا في سلاسل الرسائل المؤرشفة.","threadHeader.archiveConfirmTitle":"أرشفة سلسلة الرسائل؟","threadHeader.copyAppLink":"نسخ الرابط العميق","threadHeader.copySessionId":"نسخ معرف الجلسة","threadHeader.copyWorkingDirectory":"نسخ دليل العمل","threadHeader.forkIntoLocal":"تفريع إلى التعديلات الداخلية","threadHeader.forkIntoWorktree":"تفريع إلى مساحة عمل موازية جديدة","threadHeader.forkPendingWorktreePrompt":"قم بإنشاء تفريع من هذه المحادثة في مساحة عمل موازية.","threadHeader.forkPendingWorktreeTitle":"محادثة تم تفريعها","threadHeader.forkThreadError":"تعذر تفريع سلسلة الرسائل","threadHeader.forkThreadRequiresGitRepo":"يتطلّب إجراء تفريع إلى مساحة عمل موازية جديدة وجود قاعدة بيانات git","threadHeader.moreActions":"إجراءات سلسلة الرسائل","threadPage.newThread":"سلسلة رسائل جديدة","threadPage.runAction.changeEnvironment":"تغيير البيئة","threadPage.runAction.dropdown.titleWithEnvironment":"الإجراءات {environmentName}","threadPage.runAction.environmentSelector.label":"اختيار البيئة","threadPage.runAction.label":"تنفيذ التعليمات البرمجية","threadPage.runAction.missing.label":"إعداد إجراء تشغيل","threadPage.runAction.setup.commandLabel":"أمر التنفيذ","threadPage.runAction.setup.description":"أخبر Codex بكيفية تثبيت الارتباطات وبدء تشغيل تطبيقك.","threadPage.runAction.setup.editMore":"إعدادات البيئة","threadPage.runAction.setup.placeholder":"مثال: npm install npm run","threadPage.runAction.setup.submit":"حفظ وتشغيل","threadPage.runAction.setup.title":"تنفيذ التعليمات البرمجية","threadPage.runAction.tooltip.withEnvironment":"الإجراءات {environmentName}","threadPage.toggleDiffPanel":"إظهار لوحة الاختلافات","threadPage.toggleTerminal":"تبديل الوحدة الطرفية","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"فتح مجلد","toolSummaryForCmd.exploredFiles":"<verb>الملفات</verb> المدرجة","toolSummaryForCmd.exploredFilesInPath":"<verb>الملفات </verb>المدرجة في {path}","toolSummaryForCmd.exploringFiles":"<verb>جارٍ إدراج</verb> الملفات","toolSummaryForCmd.exploringFilesInPath":"<verb>جارٍ إدراج</verb> الملفات في {path}","toolSummaryForCmd.ranGenericCommand":"<status>تم تشغيل الأمر</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>تم تشغيل</status> {command}{timer}","toolSummaryForCmd.read":"<verb>تم قراءة </verb>{path}","toolSummaryForCmd.runningGenericCommand":"<status>جارٍ تشغيل الأمر</status>{timer}","toolSummaryForCmd.runningTimer":"لـ {elapsed}","toolSummaryForCmd.searchedFor":"<verb>تم البحث</verb> عن {query}","toolSummaryForCmd.searchedForFiles":"<verb>تم البحث</verb> عن الملفات","toolSummaryForCmd.searchedForInPath":"<verb>تم البحث</verb> عن {query} في {path}","toolSummaryForCmd.searchingFor":"<verb>جارٍ البحث</verb> عن {query}","toolSummaryForCmd.searchingForFiles":"<verb>جارٍ البحث</verb> عن ملفات","toolSummaryForCmd.searchingForInPath":"<verb>جارٍ البحث</verb> عن {query} في {path}","traceRecording.details.noteLabel":"ماذا كنت تفعل عندما حدث هذا؟ (اختياري)","traceRecording.details.notePlaceholder":"انتقلت إلى سلسلة رسائل طويلة، ثم بدّلتُ علامات التبويب بشكل متكرر...","traceRecording.details.submit":"إرسال بيانات التتبع","traceRecording.details.subtitle":"يمكننا إرسال بيانات تتبع ملف التعريف هذا للمساعدة في تشخيص مشكلات الأداء.","traceRecording.details.title":"هل ترغب في إرسال بيانات تتبع ملف التعريف؟","traceRecording.progress.subtitle":"أبقِ برنامج Codex مفتوحًا إلى حين اكتمال هذه العملية.","traceRecording.saving.title":"جارٍ حفظ بيانات التتبع…","traceRecording.startDetails.cancel":"إلغاء","traceRecording.startDetails.submit":"حسنًا، ابدأ التسجيل","traceRecording.startDetails.subtitle":'بعد النقر على "موافق"، قم بتكرار مشكلة الأداء، ثم انقر فوق العلامة الحمراء الظاهرة لإيقاف العملية ومراجعة بيانات التتبع.',"traceRecording.startDetails.title":"كيف يعمل تسجيل التتبع","traceRecording.stopButton.ariaLabel":"إيقاف تسجيل التتبع","traceRecording.upload.successToast":"تم إرسال بيانات تتبع ملف التعريف.","traceRecording.uploading.title":"جارٍ تحميل بيانات التتبع…","wham.diff.addComment":"إضافة تعليق","wham.diff.binaryFile":"الملفات الثنائية غير معروضة","wham.diff.noContent":"لا يوجد محتوى","wham.fileTag.deleted":"تم الحذف","wham.fileTag.new":"جديد","wham.formattedRelativeDateTime.compactDaysAgo":"{value} أيام","wham.formattedRelativeDateTime.compactHoursAgo":"{value} ساعات","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} دقيقة","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} أشهر","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} أسابيع","wham.formattedRelativeDateTime.compactYearsAgo":"{value} سنوات","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"جاري العمل على المهمة الخاصة بك","wham.whamProposedTask.title":"المهمة المقترحة","wham.whamProposedTask.useSuggestion":"استخدم الاقتراح","workspaceRootDialog.addError":"فشل إضافة مشروع","workspaceRootDialog.cancel":"إلغاء","workspaceRootDialog.confirmAdd":"إضافة مشروع","workspaceRootDialog.confirmPick":"استخدام مشروع","workspaceRootDialog.description":"أدخل مسار على {host} لاستخدامه كمشروع.","workspaceRootDialog.pathLabel":"مسار المشروع","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"إضافة مسار مشروع","workspaceRootDialog.title.pick":"استخدام مسار مشروع","worktreeInitV2.cancel":"إلغاء","worktreeInitV2.notification.failedTitle":"فشل إعداد مساحة العمل الموازية","worktreeInitV2.output.empty":"في انتظار النتيجة...","worktreeInitV2.status.error":"فشل إعداد مساحة العمل الموازية.","worktreeInitV2.status.running":"جارٍ إنشاء مساحة العمل الموازية وتشغيل الإعداد.","worktreeInitV2.status.runningFork":"إنشاء مساحة عمل موازية لتفريع هذه المحادثة.","worktreeInitV2.status.success":"مساحة العمل الموازية جاهزة.","worktreeInitV2.title":"جاري إنشاء مساحة العمل الموازية","worktreeInitV2.workLocallyInstead":"العمل داخليًا بدلاً من ذلك","worktreeRestoreBanner.body":"تم حذف مساحة العمل الموازية لسلسة الرسائل لتوفير مساحة على القرص.","worktreeRestoreBanner.missing.body":"لم يعد دليل العمل الخاص بسلسلة الرسائل هذه موجودًا.","worktreeRestoreBanner.missing.title":"دليل العمل الحالي غير متوفر","worktreeRestoreBanner.restore.error":"تعذر استعادة مساحة العمل الموازية: {message}","worktreeRestoreBanner.restore.success":"تم استعادة مساحة العمل الموازية.","worktreeRestoreBanner.restoreCta":"استعادة مساحة العمل الموازية","worktreeRestoreBanner.title":"تم حذف مساحة العمل الموازية"};export{e as default};
+const e={"CopyButton.copyTooltip":"نسخ","app.sidebar.hide":"إخفاء الشريط الجانبي","app.sidebar.show":"إظهار الشريط الجانبي","app.sidebar.tooltip":"طي/توسيع الشريط الجانبي","appHeader.installUpdate":"تحديث","appSunset.body":"هذا الإصدار من التطبيق لم يعد مدعومًا. يُرجى تنزيل أحدث إصدار من <here>هنا</here>.","appSunset.title":"التحديث مطلوب","automation.updateDirective.create":"إنشاء","automation.updateDirective.open":"فتح","automation.updateDirective.untitled":"أتمتة بلا عنوان","automation.updateDirective.update":"تحديث","bestOfNIcon.attemptsTooltip":"{attempts, plural, zero {لا توجد محاولات} one {محاولة واحدة} two {محاولتين} few {# محاولات} many {# محاولة} other {# محاولة}}","cloudTaskRow.archiveError":"تعذر أرشفة المهمة","code.diff.requestChange":"طلب تغيير","code.diffComment.cancel":"إلغاء","code.diffComment.comment":"تعليق","code.diffComment.delete":"حذف","code.diffComment.save":"حفظ","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"لم يتم الإبلاغ عن أي نتائج.","codex.alert.closeAriaLabel":"إغلاق","codex.appUpsellBanner.cbpApi.message":"طوّر أعمالك بوتيرة أسرع باستخدام تطبيق Codex. قم بالتنزيل الآن أو {learnMoreLink}.","codex.appUpsellBanner.download":"تنزيل","codex.appUpsellBanner.freeGo.message":"برنامج Codex مشمول في خطتك حتى 2 مارس - جرب تطبيق Codex للبناء بشكل أسرع.","codex.appUpsellBanner.later":"لاحقًا","codex.appUpsellBanner.learnMoreLowercase":"تعرف على المزيد","codex.appUpsellBanner.new":"جديد","codex.appUpsellBanner.proPlusBusiness.message":"جرب تطبيق Codex بحدود استخدام مضاعفة بمعدل مرتين حتى 2 أبريل. قم بالتنزيل الآن أو {learnMoreLink}.","codex.appUpsellBanner.title":"تطبيق Codex","codex.applyDropdown.header.changes":"التغييرات","codex.applyDropdown.header.fileCount":"{count, plural, zero {لا توجد ملفات} one {ملف واحد} two {ملفين} few {# ملفات} many {# ملفًا} other {# ملف}}","codex.applyDropdown.header.rows":"صفوف","codex.applyDropdown.header.title":"تطبيق التغييرات","codex.applyDropdown.header.workspace":"مشروع","codex.applyDropdown.results.conflicted":"{count, plural, zero {لا توجد ملفات متعارضة ({count}):} one {ملف واحد متعارض:} two {ملفين متعارضين ({count}):} few {{count} ملفات متعارضة:} many {{count} ملفًا متعارضًا:} other {{count} ملفٍ متعارضٍ:}}","codex.applyDropdown.results.empty":"لم يتم نسخ أي ملفات","codex.applyDropdown.results.skipped":"{count, plural, zero {لم يتم تجاوز أي ملفات ({count}):} one {تم تجاوز ملف واحد:} two {تم تجاوز ملفين ({count}):} few {تم تجاوز {count} ملفات:} many {تم تجاوز {count} ملفًا:} other {تم تجاوز {count} ملفٍ:}}","codex.applyOrRevertBanner.apply":"تطبيق","codex.applyOrRevertBanner.applyMessage":"هل تريد تطبيق التغييرات والمتابعة داخليًا؟","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"تم إعداد هذه المهمة في {environment}، لذا قد لا تطبق بسهولة.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"تم إجراء التغييرات في {environment}، لذا قد لا تطبق بسهولة.","codex.applyOrRevertBanner.reapply":"إعادة التطبيق","codex.applyOrRevertBanner.revert":"التراجع","codex.applyOrRevertBanner.revertMessage":"هل تريد التراجع عن التغييرات التي تم تطبيقها؟","codex.applyResultsDialog.applied":"تم التطبيق بسهولة ({count})","codex.applyResultsDialog.close":"إغلاق","codex.applyResultsDialog.conflicted":"متعارض ({count})","codex.applyResultsDialog.noDetails":"لا توجد تفاصيل متاحة للملف.","codex.applyResultsDialog.skipped":"تم التخطي ({count})","codex.applyResultsDialog.title":"تطبيق النتائج","codex.archiveInfo":"عرض الدردشات المؤرشفة في {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"عناصر التحكم في البيانات","codex.archiveInfo.electron":"عرض الدردشات المؤرشفة في {settingsLink}","codex.archiveInfo.extension":"عرض الدردشات المؤرشفة في .codex folder. الخاص بك","codex.archiveInfo.settingsLink":"الإعدادات","codex.banner.content.description":"تنفيذ المهام بالتوازي، وتتبع التقدم في أي مكان، ومراجعة طلبات السحب باستخدام الذكاء الاصطناعي.","codex.banner.content.headline":"يقوم Codex بكل شيء.","codex.cloudTaskRow.archiveTask":"أرشفة المهمة","codex.cloudTaskRow.confirmArchiveTask":"تأكيد","codex.command.feedback":"الملاحظات","codex.command.findInThread":"البحث عن","codex.command.forceReloadSkills":"إعادة تحميل المهارات بالقوة","codex.command.logOut":"تسجيل الخروج","codex.command.manageTasks":"إدارة المهام","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"رجوع","codex.command.navigateForward":"التالي","codex.command.newThread":"سلسلة رسائل جديدة","codex.command.nextThread":"سلسلة الرسائل التالية","codex.command.openFolder":"فتح مجلد","codex.command.openSkills":"الانتقال إلى المهارات","codex.command.openThreadOverlay":"سلسلة رسائل منبثقة","codex.command.personalitySettings":"شخصية","codex.command.previousThread":"سلسلة الرسائل السابقة","codex.command.settings":"الإعدادات","codex.command.toggleDiffPanel":"تبديل لوحة الاختلافات","codex.command.toggleSidebar":"طي/توسيع الشريط الجانبي","codex.command.toggleTerminal":"تبديل الوحدة الطرفية","codex.commandGroup.app":"التطبيق","codex.commandGroup.configure":"تكوين","codex.commandGroup.navigation":"التنقل","codex.commandGroup.panels":"اللوحات","codex.commandGroup.skills":"المهارات","codex.commandGroup.thread":"سلسلة رسائل","codex.commandGroup.workspace":"مشروع","codex.commandMenu.noResults":"لا توجد أي نتائج مطابقة","codex.commandMenu.searchPlaceholder":"بحث في الأوامر","codex.commandMenu.suggestedGroup":"مقترح","codex.commandMenu.switchWorkspace":"تبديل المشروع","codex.commandMenu.title":"قائمة الأوامر","codex.common.retry":"إعادة المحاولة","codex.composer.searchBranches":"البحث في الفروع","codex.dialog.basic.body":"هذا مربع حوار مبسط مبني على نسخة مخصصة من Radix Dialog.","codex.dialog.basic.cancel":"إلغاء","codex.dialog.basic.confirm":"تأكيد","codex.dialog.basic.open":"فتح مربع الحوار","codex.dialog.basic.title":"نموذج مربع حوار","codex.dialog.long.close":"إغلاق","codex.dialog.long.line":"سطر قابل للتمرير {index} للتنقل في محتوى أكبر من مربع الحوار.","codex.dialog.long.open":"فتح مربع حوار طويل","codex.dialog.long.title":"مربع حوار لمحتوى كبير","codex.dialog.unstyled.body":"توضح هذه القصة كيف يمكن للمستدعين التحكم الكامل في تنسيق محتوى مربع الحوار.","codex.dialog.unstyled.open":"فتح مربع حوار غير منسق","codex.dialog.unstyled.title":"محتوى غير منسق","codex.diff.openInEditorPrompt.openButton":'فتح في نافذة "التحرير"',"codex.diff.openInEditorPrompt.singleLine":"هذا الملف كبير جدا بحيث لا يمكن عرضه هنا.","codex.diffView.failedToDecodeBase64Diff":"تعذر فك تشفير الاختلافات بطريقة الترميز base64","codex.diffView.filesChanged":"{fileCount, plural, zero {لم يتم تغيير أي ملفات} one {تم تغيير ملفًا واحدًا} two {تم تغيير ملفين} few {تم تغيير # ملفات} many {تم تغيير # ملفًا} other {تم تغيير # ملف}}","codex.diffView.imagePreviewAlt":"معاينة الصورة","codex.diffView.imagePreviewEmpty":"لا توجد صورة","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"لا تتوفر بيانات للاختلافات","codex.diffView.pdfPreview.nextPage":"الصفحة التالية","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"الصفحة السابقة","codex.diffView.pdfPreviewEmpty":"لا توجد معاينة PDF","codex.diffView.pdfPreviewError":"تعذر عرض معاينة ملف PDF","codex.diffView.richPreviewDisable":"تعطيل المعاينة المتقدمة","codex.diffView.richPreviewEnable":"تمكين المعاينة المتقدمة","codex.diffView.richPreviewLoading":"جاري تحميل المعاينة…","codex.diffView.richPreviewToggle":"تبديل المعاينة المتقدمة","codex.diffView.switchToUnified":"التبديل إلى الاختلافات الموحدة","codex.environmentSelector.noEnvironment":"لا توجد بيئات","codex.environments.environmentSettings":"إعدادات البيئة","codex.environments.learnMore":"تعرف على المزيد","codex.environments.listError":"تعذر تحميل البيئات.","codex.environments.noEnvironmentsFound":"لم يتم العثور على أي بيئات","codex.environments.searchError":"تعذر البحث في البيئات.","codex.errorBoundary.genericError":"لقد حدث خطأ","codex.errorBoundary.goHome":"أعد المحاولة","codex.file.patch.missing":"تعذر برمجة تعديل لهذا الملف.","codex.gallery.automations.cwdLabel":"المشروعات","codex.gallery.automations.nameLabel":"الاسم","codex.gallery.automations.namePlaceholder":"تلخيص مهمة","codex.gallery.automations.promptLabel":"أمر","codex.gallery.automations.promptPlaceholder":"وصف ما يجب أن يفعله Codex","codex.gallery.dialogs.automation.label":"مربع حوار الأتمتة","codex.gallery.dialogs.basic.body":"استخدم هذا التخطيط للتأكيدات المباشرة أو النماذج القصيرة.","codex.gallery.dialogs.basic.cancel":"إلغاء","codex.gallery.dialogs.basic.confirm":"تأكيد","codex.gallery.dialogs.basic.label":"مربع حوار أساسي","codex.gallery.dialogs.basic.title":"نموذج مربع حوار","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"قم بوصف المشكلة","codex.gallery.dialogs.feedbackSubmission.bad":"نتيجة سيئة","codex.gallery.dialogs.feedbackSubmission.bug":"خطأ برمجي","codex.gallery.dialogs.feedbackSubmission.good":"نتيجة جيدة","codex.gallery.dialogs.feedbackSubmission.includeLogs":"تضمين سجلات جلسة Codex الحالية","codex.gallery.dialogs.feedbackSubmission.label":"إرسال الملاحظات","codex.gallery.dialogs.feedbackSubmission.other":"غير ذلك","codex.gallery.dialogs.feedbackSubmission.placeholder":"قم بوصف المشكلة هنا","codex.gallery.dialogs.feedbackSubmission.submit":"إرسال","codex.gallery.dialogs.feedbackSubmission.title":"الملاحظات","codex.gallery.dialogs.feedbackSuccess.body":"تم تحميل الملاحظات. إذا استمرت المشكلة، يرجى فتح مشكلة في GitHub أو ذكر معرّف سلسلة الرسائل في مشكلة مفتوحة حالياً:","codex.gallery.dialogs.feedbackSuccess.dismiss":"إغلاق","codex.gallery.dialogs.feedbackSuccess.label":"نجاح الملاحظات","codex.gallery.dialogs.feedbackSuccess.title":"تم تحميل الملاحظات","codex.gallery.dialogs.gitApplyResults.applied":"تم التطبيق بسهولة (2)","codex.gallery.dialogs.gitApplyResults.close":"إغلاق","codex.gallery.dialogs.gitApplyResults.conflicted":"متعارض (1)","codex.gallery.dialogs.gitApplyResults.label":"تطبيق النتائج","codex.gallery.dialogs.gitApplyResults.title":"تطبيق النتائج","codex.gallery.dialogs.gitPushError.body":"اسحب أحدث التغييرات أو استخدم الإرسال القسري إذا كنت تعلم أن سجل التغييرات البعيد آمن للاستبدال.","codex.gallery.dialogs.gitPushError.cancel":"إلغاء","codex.gallery.dialogs.gitPushError.force":"الإرسال القسري","codex.gallery.dialogs.gitPushError.label":"خطأ في الإرسال","codex.gallery.dialogs.gitPushError.subtitle":"الفرع الخاص بك متأخر عن الفرع الأصلي/الرئيسي","codex.gallery.dialogs.gitPushError.title":"تعذر إرسال التغييرات","codex.gallery.dialogs.gitRevert.cancel":"إلغاء","codex.gallery.dialogs.gitRevert.confirm":"التراجع","codex.gallery.dialogs.gitRevert.label":"تراجع عن التغييرات","codex.gallery.dialogs.gitRevert.skip":"لا تسألني مرة أخرى","codex.gallery.dialogs.gitRevert.subtitle":"يؤدي هذا الإجراء إلى إزالة جميع هذه التغييرات.","codex.gallery.dialogs.gitRevert.title":"هل تريد التراجع عن التغييرات؟","codex.gallery.dialogs.longForm.label":"مربع حوار طويل","codex.gallery.dialogs.proseModal.body":"يُستخدم نمط النافذة المنبثقة هذا لعرض التعليمات المطولة أو عمليات التهيئة، أو كتل محتوى غنية.","codex.gallery.dialogs.proseModal.close":"إغلاق","codex.gallery.dialogs.proseModal.subtitle":"شارك الإرشادات المطولة أو الوثائق هنا.","codex.gallery.dialogs.proseModal.title":"نافذة نصية منبثقة","codex.gallery.dialogs.submitBlocked.label":"الإرسال محظور","codex.gallery.dialogs.submitBlocked.message":"تعذّر إرسال رسالتك لأن المشروع غير متاح.","codex.gallery.dialogs.submitBlocked.ok":"موافق","codex.gallery.dialogs.submitBlocked.title":"تعذر إرسال الرسالة","codex.gallery.dialogs.title":"مربعات الحوار","codex.gallery.dropdown.filterPlaceholder":"تصفية العناصر","codex.gallery.dropdowns.actionRow":"صفوف الإجراءات","codex.gallery.dropdowns.actionRow.disabled":"إجراء معطّل","codex.gallery.dropdowns.actionRow.primary":"الإجراء الأولي","codex.gallery.dropdowns.actionRow.secondary":"الإجراء الثانوي","codex.gallery.dropdowns.actionRow.trigger":"عرض الإجراءات","codex.gallery.dropdowns.basic":"قائمة منسدلة أساسية","codex.gallery.dropdowns.basic.newFile":"ملف جديد","codex.gallery.dropdowns.basic.newFolder":"مجلد جديد","codex.gallery.dropdowns.basic.openSettings":"فتح الإعدادات","codex.gallery.dropdowns.basic.title":"إجراءات سريعة","codex.gallery.dropdowns.basic.trigger":"فتح القائمة","codex.gallery.dropdowns.basic.upload":"تحميل","codex.gallery.dropdowns.panel":"واجهة اللوحة","codex.gallery.dropdowns.panel.apply":"تطبيق","codex.gallery.dropdowns.panel.body":"مراجعة التغييرات وتطبيقها على المشروع.","codex.gallery.dropdowns.panel.preview":"معاينة","codex.gallery.dropdowns.panel.title":"تطبيق التغييرات","codex.gallery.dropdowns.panel.trigger":"فتح اللوحة","codex.gallery.dropdowns.search":"قائمة منسدلة قابلة للبحث","codex.gallery.dropdowns.search.first":"قناة الإصدار التجريبي Alpha","codex.gallery.dropdowns.search.second":"فرع تجريبي Beta","codex.gallery.dropdowns.search.third":"مرشح الإصدار","codex.gallery.dropdowns.search.trigger":"تصفية العناصر","codex.gallery.dropdowns.submenu":"قائمة منسدلة مع قائمة فرعية","codex.gallery.dropdowns.submenu.optionA":"مشروع ألفا","codex.gallery.dropdowns.submenu.optionB":"مشروع بيتا","codex.gallery.dropdowns.submenu.optionC":"مشروع جاما","codex.gallery.dropdowns.submenu.primary":"تعيين المالك","codex.gallery.dropdowns.submenu.secondary":"نقل إلى","codex.gallery.dropdowns.submenu.tertiary":"أرشفة","codex.gallery.dropdowns.submenu.trigger":"اختر إجراءً","codex.gallery.dropdowns.title":"قوائم منسدلة","codex.gallery.inbox.automations.close":"إغلاق","codex.gallery.inbox.automations.popover.cardTitle":"إدارة عمليات الأتمتة","codex.gallery.inbox.automations.popover.dialogTitle":"إدارة عمليات الأتمتة","codex.header.settingsTooltip":"الإعدادات","codex.hunk.patch.error":"تعذر التجهيز","codex.hunk.patch.missing":"تعذر برمجة تعديل لهذا الجزء من التعليمات البرمجية.","codex.hunk.patch.partialSuccess":"نجاح جزئي","codex.hunk.patch.revertError":"تعذر إلغاء التجهيز","codex.hunk.patch.revertSuccess":"تم إلغاء التجهيز بنجاح","codex.hunk.patch.success":"تم التجهيز بنجاح","codex.legal.autonomy.details":"لمزيد من التفاصيل، راجع {link}","codex.legal.autonomy.details.link":"مستندات Codex","codex.legal.autonomy.title":"حدد مستوى الصلاحيات التي تريد منحها","codex.legal.backButton":"رجوع","codex.legal.cloud.taskOne.meta":"openai/agi‏ · 12 أكتوبر","codex.legal.cloud.taskOne.title":"توضيح قاعدة البيانات للمصمم الجديد","codex.legal.cloud.taskThree.meta":"openai/codex‏ · 8 أكتوبر","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"إنشاء الوضع الداكن","codex.legal.cloud.taskTwo.meta":"openai/agi‏ · 9 أكتوبر","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"إصلاح خطأ برمجي في عملية التهيئة","codex.legal.continue.apikey":"متابعة","codex.legal.continueButton":"التالي","codex.legal.copilot.details":"يستخدم خطة Copilot الخاصة بك لجميع عمليات استدعاء النماذج والفواتير وحدود الاستخدام. ويخضع استخدام المكون الإضافي لـ Codex لكل من {oaiTos} و {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"شروط الخدمة الخاصة بـ GitHub","codex.legal.copilot.oaiTosLink":"شروط الخدمة الخاصة بـ OpenAI Codex","codex.legal.copilot.title":"مدعوم بواسطة GitHub Copilot","codex.legal.mistakes.review":"راجع التعليمات البرمجية التي يكتبها والأوامر التي ينفذها","codex.legal.mistakes.title":"يمكن أن يصدر عن Codex بعض الأخطاء","codex.legal.powered.details":"يستخدم حدود الاستخدام لخطتك و {link}","codex.legal.powered.details.link":"تفضيلات بيانات التدريب","codex.legal.powered.title":"مدعوم بواسطة حسابك على ChatGPT","codex.legal.step.cloud.subtitle":"أرسل المهام إلى Codex لتنفيذها في الخلفية وبذلك تحافظ على تركيزك وتنجز أسرع.","codex.legal.step.cloud.title":"النقل إلى Codex على السحابة","codex.legal.step.intro.subtitle":"Codex يتنقل ويحرر وينفذ الأوامر ويجري الاختبارات مباشرة في قاعدة بياناتك. مدعوم بواسطة حسابك على ChatGPT.","codex.legal.step.intro.title":"Codex في بيئة التطوير المدمجة (IDE) الخاصة بك","codex.legal.step.todo.subtitle":"اكتب تعليق TODO وحوله إلى مهمة Codex بنقرة واحدة.","codex.legal.step.todo.title":"تحويل تعليقات TODO إلى مهام Codex","codex.legal.todo.heading":"// TODO: تنفيذ المخطط","codex.localConversation.closeImagePreview":"غلق معاينة الصورة","codex.localConversation.userImageAttachment":"مرفقات المستخدم","codex.localTaskRow.archiveTask":"أرشفة سلسلة الرسائل","codex.localTaskRow.awaitingApproval":"في انتظار الموافقة","codex.localTaskRow.awaitingResponse":"في انتظار الرد","codex.localTaskRow.confirmArchiveTask":"تأكيد","codex.loggedOut.apiKeyPrompt.cancel":"إلغاء","codex.loggedOut.apiKeyPrompt.confirm":"موافق","codex.loggedOut.apiKeyPrompt.getKey":"الحصول على مفتاح API","codex.loggedOut.apiKeyPrompt.inputLabel":"أدخل مفتاح OpenAI API الخاص بك","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"تم إيقاف مهام السحابة باستخدام مفتاح API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"تم إيقاف مهام السحابة عند استخدام Copilot ومفتاح API","codex.loggedOut.signIn":"تسجيل الدخول باستخدام ChatGPT","codex.loggedOut.signIn.cancel":"إلغاء تسجيل الدخول","codex.loggedOut.signInWithCopilot":"تسجيل الدخول باستخدام GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"استخدام مفتاح API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"أداة {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"تم الاستدعاء","codex.mcpTool.collapsedLabel.verb.calling":"جاري الاستدعاء","codex.mcpTool.embeddedResource.contentLabel":"المحتوى","codex.mcpTool.embeddedResource.mimeTypeLabel":"نوع بروتوكول MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"لم تُرجع الأداة أي محتوى","codex.mcpTool.rawPayloadHeading":"بيانات استدعاء {server}.{tool}غير المعالجة","codex.menu.recent":"الأحدث","codex.menu.seeAllHistory":"عرض السجل بالكامل","codex.modelCapacityBanner.headline.noReset":"النموذج {modelName} بلغ الحد الأقصى من السعة في الوقت الراهن. يُرجى المحاولة لاحقًا أو بدء محادثة جديدة باستخدام نموذج آخر.","codex.modelCapacityBanner.headline.withReset":"النموذج {modelName} بلغ الحد الأقصى من السعة في الوقت الراهن. يُرجى إعادة المحاولة بعد {resetDate}، أو بدء محادثة جديدة باستخدام نموذج آخر.","codex.modelCapacityBanner.title":"النموذج الذي تم اختياره بلغ الحد الأقصى من السعة","codex.patch.change.contentsDeleted":"تم حذف المحتويات","codex.patch.change.created":"تم الإنشاء","codex.patch.change.created-file":"تم إنشاء الملف","codex.patch.change.creating":"جاري الإنشاء","codex.patch.change.deleted":"تم الحذف","codex.patch.change.deleted-file":"تم حذف الملف","codex.patch.change.deleting":"جاري الحذف","codex.patch.change.edited":"تم التحرير","codex.patch.change.edited-file":"ملف مًحرر","codex.patch.change.editing":"جاري التحرير","codex.patch.change.noChanges":"لا توجد تغييرات","codex.patch.change.rejected-add":"مرفوض","codex.patch.change.rejected-delete":"مرفوض","codex.patch.change.rejected-edit":"مرفوض","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"تم إكمال {completed} مهمة من أصل {total}","codex.plan.todoListCreated":"تم إنشاء قائمة المهام باستخدام {total} مهام","codex.profileDropdown.apiKeyAuth":"تم تسجيل الدخول باستخدام مفتاح API","codex.profileDropdown.codexSettings":"إعدادات Codex","codex.profileDropdown.copilotAuth":"تم تسجيل الدخول باستخدام Copilot","codex.profileDropdown.defaultAccountTitle":"الحساب الافتراضي","codex.profileDropdown.enterBehavior":"اضغط على مفتاحي {modifierSymbol} و Enter لإرسال طلبات طويلة","codex.profileDropdown.enterBehaviorError":"تعذر تحديث الإعدادات","codex.profileDropdown.getPlus":"الترقية لحدود أعلى","codex.profileDropdown.keyboardShortcuts":"اختصارات لوحة المفاتيح","codex.profileDropdown.language":"اللغة","codex.profileDropdown.languageDefault":"اكتشاف تلقائي","codex.profileDropdown.languageSearchPlaceholder":"بحث في اللغات","codex.profileDropdown.languageUpdateError":"تعذر تحديث اللغة","codex.profileDropdown.logOut":"تسجيل الخروج","codex.profileDropdown.mcp":"إعدادات MCP","codex.profileDropdown.openConfigToml":"فتح config.toml","codex.profileDropdown.openConfigToml.wsl":"فتح config.toml في بيئة WSL","codex.profileDropdown.openExtensionSettings":"فتح الإعدادات","codex.profileDropdown.openMcpSettings":"فتح إعدادات MCP","codex.profileDropdown.openOnStartup":"فتح عند بدء التشغيل","codex.profileDropdown.openOnStartupError":"تعذر تحديث الإعدادات","codex.profileDropdown.openSkillsSettings":"فتح إعدادات المهارات","codex.profileDropdown.personalAccountTitle":"حساب شخصي","codex.profileDropdown.queueFollowUps":"إضافة المتابعات إلى قائمة الانتظار","codex.profileDropdown.queueFollowUpsError":"تعذر تحديث الإعدادات","codex.profileDropdown.readDocs":"قراءة المستندات","codex.profileDropdown.readSkillsDocs":"قراءة المستندات","codex.profileDropdown.runInWsl":"بدء التشغيل في WSL","codex.profileDropdown.runInWslError":"تعذر تحديث الإعدادات","codex.profileDropdown.runInWslTooltip":"تشغيل Codex داخل بيئة WSL. ويوصى باستخدامه لتعزيز أمان بيئة الاختبار وتحقيق أداء أعلى.","codex.profileDropdown.settings":"إعدادات بيئة التطوير المدمجة","codex.profileDropdown.settingsPage":"الإعدادات","codex.profileDropdown.signInWithOpenAI":"تسجيل الدخول باستخدام ChatGPT","codex.profileDropdown.skills":"إعدادات المهارات","codex.profileDropdown.switchToCopilotAccount":"استخدام حساب Copilot","codex.profileDropdown.switchToOpenAIAccount":"استخدام حساب OpenAI","codex.profileDropdown.todoCodelens":"إصلاح تعليقات TODO","codex.profileDropdown.todoCodelensError":"تعذر تحديث الإعدادات","codex.profileDropdown.windowsDocumentation":"وثائق Windows","codex.profileFooter.signedInFallback":"الإعدادات","codex.profileFooter.upgrade":"الترقية","codex.recentTasksMenu.clearSearch":"مسح البحث","codex.recentTasksMenu.cloud":"مهام السحابة","codex.recentTasksMenu.count":"{count, plural, =0 {لا توجد مهام قيد التنفيذ} zero {لا توجد مهام قيد التنفيذ (#)} one {مهمة واحدة قيد التنفيذ (#)} two {مهمتان قيد التنفيذ (#)} few {# مهام قيد التنفيذ} many {# مهمة قيد التنفيذ} other {# مهمة قيد التنفيذ}}","codex.recentTasksMenu.empty":"لا توجد سلاسل رسائل حتى الآن","codex.recentTasksMenu.errorCloud":"تعذر تحميل المهام.","codex.recentTasksMenu.errorCloud.inline":"تعذر تحميل مهام السحابة.","codex.recentTasksMenu.filterAll":"الكل","codex.recentTasksMenu.filterCloudTasks":"تصفية مهام السحابة","codex.recentTasksMenu.filterTooltip":"تصفية المهام حسب البيئة","codex.recentTasksMenu.local":"المهام الداخلية","codex.recentTasksMenu.recent":"جميع المهام","codex.recentTasksMenu.search":"البحث في المهام الأخيرة","codex.recentTasksMenu.searchEmpty":"لا توجد نتائج","codex.recentTasksMenu.tooltip":"سجل المهام","codex.recentTasksMenu.trigger":"المهام الأخيرة. {count, plural, zero {# قيد التنفيذ} one {# قيد التنفيذ} two {# قيد التنفيذ} few {# قيد التنفيذ} many {# قيد التنفيذ} other {# قيد التنفيذ}}","codex.remoteConversation.applyDiff.applyCta":"تطبيق التغييرات","codex.remoteConversation.applyDiff.dropdownTitle":"تطبيق التغييرات على فرع داخلي","codex.remoteConversation.applyDiff.revertCta":"تراجع عن التغييرات","codex.remoteConversation.closeImagePreview":"غلق معاينة الصورة","codex.remoteConversation.codexCloudTask":"أنت تستعرض <u>مهمة Codex</u> الموجودة على السحابة","codex.remoteConversation.errorWithMessage":"خطأ: {message}","codex.remoteConversation.loadingImage":"جاري تحميل الصورة","codex.remoteConversation.openInWeb":"فتح في الويب","codex.remoteConversation.streaming":"البدء","codex.remoteConversation.turnFailed":"حدث خطأ أثناء تنفيذ هذه المهمة","codex.remoteConversation.turnTab.loading":"المحاولة {number}","codex.remoteConversation.turnTab.title":"المحاولة {number}","codex.remoteConversation.userImageAttachment":"مرفقات المستخدم","codex.remoteConversation.viewPreviousTurns":"فتح في الويب","codex.remoteConversation.viewPreviousTurns.buttonText":"فتح","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"فتح في الويب","codex.review.copyGitApplyCommand":"انسخ أمر تطبيق git","codex.review.copyGitApplyCommand.toast":"تم نسخ أمر تطبيق git إلى الحافظة","codex.review.diffTooLarge.description":"هذا الفرق كبير جدًا بحيث لا يمكن عرضه في قسم المراجعة.","codex.review.diffTooLarge.title":"الفروقات كبيرة جداً بحيث لا يمكن عرضها","codex.review.expandOrCollapseDiffButton.collapse":"طي كل الاختلافات","codex.review.expandOrCollapseDiffButton.expand":"توسيع كل الاختلافات","codex.review.expandOrCollapseDiffMenu.collapse":"طي كل الاختلافات","codex.review.expandOrCollapseDiffMenu.expand":"توسيع كل الاختلافات","codex.review.fileSearch.clear":"مسح عامل تصفية الملفات","codex.review.fileSearch.empty":"لا توجد ملفات تطابق عامل التصفية الحالي.","codex.review.fileSearch.label":"تصفية الملفات","codex.review.fileSearch.placeholder":"جارِ تصفية الملفات…","codex.review.filesChanged":"{num, plural, =0 {لم يتم تغيير أي ملفات} zero {لم يتم تغيير أي ملفات} one {تم تغيير ملف واحد} two {تم تغيير ملفين} few {تم تغيير # ملفات} many {تم تغيير # ملفًا} other {تم تغيير # ملف}}","codex.review.find.loadMore":"عرض المزيد من النتائج المتطابقة","codex.review.fullReview.hideFileTree":"إخفاء شجرة الملفات","codex.review.fullReview.showFileTree":"إظهار شجرة الملفات","codex.review.header.moreOptions":"خيارات المعاينة","codex.review.largeDiff.banner":"تم اكتشاف اختلاف كبير - يتم عرض ملف واحد في كل مرة.","codex.review.loadFullFiles.disable":"عدم تحميل الملفات كاملة","codex.review.loadFullFiles.enable":"تحميل الملفات كاملة","codex.review.noDiff":"ستظهر تغييرات الملف هنا","codex.review.noDiff.gitInit.createRepository":"إنشاء قاعدة بيانات Git","codex.review.noDiff.gitInit.creating":"جاري الإنشاء...","codex.review.noDiff.gitInit.error":"تعذر تهيئة Git: {message}","codex.review.noDiff.gitInit.success":"تم إنشاء قاعدة بيانات Git","codex.review.noDiff.gitRepoRequired.description":"تتبع التغييرات والتراجع عنها في المشروع","codex.review.noDiff.gitRepoRequired.title":"إنشاء قاعدة بيانات Git","codex.review.noDiff.orNoLongerAvailable":"أو أن الاختلافات الأخيرة لم تعد متوفرة","codex.review.noDiff.reverted":"تم التراجع عن آخر محاولة","codex.review.noDiff.revertedOrCommitted":"تم التراجع عن آخر محاولة أو حفظها","codex.review.refreshGitQueries":"تنشيط","codex.review.revert.file.error":"تعذر إعادة {path}","codex.review.revert.file.partialSuccess":"تم إعادة {path} جزئيًا","codex.review.revert.file.success":"تم إعادة {path}","codex.review.revert.hunk.error":"تعذر التراجع عن التعديلات {hunkNumber} في {path}","codex.review.revert.hunk.partialSuccess":"تم التراجع عن التعديلات {hunkNumber} جزئيًا في {path}","codex.review.revert.hunk.success":"التعديلات التي تم التراجع عنها {hunkNumber} في {path}","codex.review.revert.section.error":"تعذر استعادة القسم","codex.review.revert.section.partialSuccess":"تم استعادة القسم جزئيًا","codex.review.revert.section.success":"تم استعادة القسم","codex.review.revertDialog.cancel":"إلغاء","codex.review.revertDialog.confirm":"تأكيد","codex.review.revertDialog.message":"يؤدي هذا الإجراء إلى إزالة جميع هذه التغييرات.","codex.review.revertDialog.skip":"لا تسألني مرة أخرى","codex.review.revertDialog.title":"هل تريد التراجع عن التغييرات؟","codex.review.richPreview.disable":"تعطيل المعاينة المتقدمة","codex.review.richPreview.enable":"تمكين المعاينة المتقدمة","codex.review.source.cloud":"التغييرات على السحابة","codex.review.source.local.all":"جميع تغييرات الفروع","codex.review.source.local.lastTurn":"التغييرات في آخر دور","codex.review.source.local.uncommitted":"التغييرات غير المحفوظة","codex.review.source.worktree":"تغييرات غير محفوظة في مساحة العمل الموازية","codex.review.stageFilter.empty.staged.description":"اقبل التعديلات لتجهيزها للمرحلة التالية","codex.review.stageFilter.empty.staged.title":"لا توجد تغييرات مرحلية","codex.review.stageFilter.empty.unstaged.description":"ستظهر تغييرات الكود هنا","codex.review.stageFilter.empty.unstaged.title":"لا توجد تغييرات غير مرحلية","codex.review.stageFilter.staged":"مجهزة","codex.review.stageFilter.staged.count":"مجهزة · {count}","codex.review.stageFilter.unstaged":"غير مجهزة","codex.review.stageFilter.unstaged.count":"غير مجهزة · {count}","codex.review.switchToSplit":"تبديل لعرض تقسيم الاختلافات","codex.review.switchToUnified":"التبديل إلى الاختلافات الموحدة","codex.review.toggleDiffView":"التبديل بين طرق عرض الاختلافات","codex.review.wordDiffs.disable":"تعطيل اختلافات الكلمات","codex.review.wordDiffs.enable":"تفعيل اختلافات الكلمات","codex.review.wrap.disable":"تعطيل التفاف الكلمات","codex.review.wrap.enable":"تمكين التفاف الكلمات","codex.section.patch.missing":"تعذر برمجة تعديل لهذا القسم.","codex.shell.collapse":"طي shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"تم نسخ محتويات shell","codex.shell.copy.copyTooltip":"نسخ محتويات shell","codex.shell.copyCommand":"نسخ الأمر","codex.shell.copyOutput":"نسخ المخرجات","codex.shell.cwdLabel":"دليل العمل الحالي","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"توسيع shell","codex.shell.name":"Shell","codex.shell.noOutput":"لا توجد نتيجة","codex.signInFailed.message":"تعذر تسجيل الدخول: {rawMessage}","codex.stories.toast.show":"إظهار الإشعار المنبثق","codex.stories.tooltip.basic":"هذا هو التلميح الخاص بالأداة","codex.stories.tooltip.hoverMe":"مرر المؤشر هنا","codex.stories.tooltip.largerOffset":"يحتوي تلميح الأداة هذا على إزاحة أكبر","codex.stories.tooltip.offsetButton":"إزاحة أكبر","codex.stories.tooltip.shortcutButton":"مع اختصار","codex.stories.tooltip.withShortcut":"تبديل الوحدة الطرفية","codex.taskRow.title":"سلسلة رسائل جديدة","codex.taskRowLayout.confirm":"تأكيد","codex.threadFindBar.chatFilter":"البحث في الدردشات","codex.threadFindBar.close":"إغلاق البحث","codex.threadFindBar.diffFilter":"البحث في الاختلافات","codex.threadFindBar.label":"البحث في سلسلة الرسائل","codex.threadFindBar.nextResult":"النتيجة التالية","codex.threadFindBar.noResults":"0 نتيجة","codex.threadFindBar.placeholder":"البحث في سلسلة الرسائل","codex.threadFindBar.placeholder.extension":"البحث في سلسلة الرسائل","codex.threadFindBar.placeholder.review":"جارِ البحث في الاختلافات...","codex.threadFindBar.placeholder.review.extension":"جارِ البحث في الاختلافات...","codex.threadFindBar.previousResult":"النتيجة السابقة","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, zero {لم يتم تغيير أي ملف} one {تم تغيير ملف واحد} two {تم تغيير ملفين} few {تم تغيير # ملفات} many {تم تغيير # ملفًا} other {تم تغيير # ملف}}","codex.unifiedDiff.inlineLargeFile":"كبير جدًا لعرضه مضمنًا","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"تراجع","codex.unifiedDiff.revertPatchError":"تعذر التراجع عن التغييرات","codex.unifiedDiff.revertPatchSuccess":"تم التراجع عن التغييرات","codex.unifiedDiff.reviewChangesSuffix":"التغييرات","codex.unifiedDiff.reviewShort":"مراجعة","codex.unifiedDiff.viewDiffTooltip":"مراجعة","codex.upsellBanner.business.headline":"للتمتع بالمزيد من إمكانية الاستخدام الآن، أرسل طلبًا إلى المسؤول الخاص بك، أو انتظر حتى {resetDate}.","codex.upsellBanner.cbp.headline":"للتمتع بالمزيد من إمكانية الاستخدام الآن، أرسل طلبًا إلى المسؤول الخاص بك.","codex.upsellBanner.cta.addCredits":"إضافة أرصدة","codex.upsellBanner.cta.upgradeAccount":"الترقية","codex.upsellBanner.cta.viewUsage":"عرض الاستخدام","codex.upsellBanner.free.trialHeadline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}. لمتابعة استخدام Codex والوصول إلى GPT-5.3-Codex، ابدأ تجربتك المجانية لخدمة Plus اليوم.","codex.upsellBanner.freeOrGo.headline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}. لمتابعة استخدام Codex، قم بالترقية إلى Plus اليوم.","codex.upsellBanner.general.headline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}.","codex.upsellBanner.general.title":"نفدت رسائل Codex لديك","codex.upsellBanner.go.trialHeadline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}. لمتابعة استخدام Codex، ابدأ تجربتك المجانية لخدمة Plus اليوم.","codex.upsellBanner.plus.headline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}. لمتابعة استخدام Codex، أضف رصيدًا أو قم بالترقية إلى Pro اليوم.","codex.upsellBanner.pro.headline":"سيُعاد ضبط حدّ الاستخدام الخاص بك في {resetDate}. أضف رصيدًا لمتابعة استخدام Codex الآن.","codex.userMessage.autoResolveSync":"حل التعارضات تلقائيًا","codex.userMessage.commentCount":"{count, plural, zero {لا توجد تعليقات} one {تعليق واحد} two {# تعليق} few {# تعليق} many {# تعليق} other {# تعليق}}","codex.userMessage.copiedAriaLabel":"تم النسخ","codex.userMessage.copiedTooltip":"تم النسخ","codex.userMessage.copyAriaLabel":"نسخ الرسالة","codex.userMessage.copyTooltip":"نسخ","codex.userMessage.implementPlan":"تنفيذ الخطة","codex.userMessage.noContent":"(لا يوجد محتوى)","codex.userMessage.priorConversation":"الإشارة إلى المحادثة السابقة","codex.userMessage.reviewMode":"وضع المراجعة","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"لـ {query}","codex.webSearch.summary.verb.completed":"تم البحت في الويب","codex.webSearch.summary.verb.inProgress":"جارٍ البحث في الويب","codex.windowsInstallWslBanner.dismiss":"تجاهل","codex.windowsInstallWslBanner.installWslCta":"تمكين بيئة الاختبار المعزولة","codex.windowsInstallWslBanner.learnMore":"تعرف على المزيد","codex.windowsSandboxBanner.content":"يستخدم وضع الوكيل بيئة الاختبار المعزولة على نظام Windows للحد من الوصول إلى نظام الملفات والشبكة. {sandboxLink}","codex.windowsSandboxBanner.title":"تمكين بيئة الاختبار المعزولة لوضع الوكيل","codex.windowsSubDropdown.windowsSandbox":"بيئة الاختبار المعزولة لنظام Windows","codex.windowsSubDropdown.windowsSettings":"إعدادات Windows","codexUpgradeModal.body":"أحدث نموذج تكويد رائد قائم على الوكيل لدينا - أكثر ذكاءً وسرعة وكفاءة في العمل التقني العام. {link}","codexUpgradeModal.close":"إغلاق","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"تعرف على المزيد","codexUpgradeModal.title":"نقدم لك نموذج GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"جرب GPT-5.3-Codex الآن","codexUpgradeModal.useExistingModel":"المتابعة باستخدام النموذج الحالي","commentAttachments.numComments":"{count, plural, zero {لا يوجد تعليقات} one {تعليق واحد} two {تعليقين} few {# تعليقات} many {# تعليقًا} other {# تعليق}}","commentAttachments.removeAriaLabel":"إزالة مرفق التعليقات","common.close":"إغلاق","composer.addContext.openFilePickerError":"تعذّر فتح أداة اختيار الملفات","composer.addContextDropdown.ariaLabel":"إضافة الملفات والمزيد","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"إضافة الملفات والمزيد","composer.addPhotosAndFiles":"إضافة صور وملفات","composer.atMentionList.emptyQuery":"اكتب للبحث عن الملفات","composer.atMentionList.loading":"جاري البحث...","composer.atMentionList.noResults":"لا توجد نتائج","composer.attemptsSelector.option":"{count, plural, zero {لم يتم اختيار أي نسخ} one {تم اختيار نسخة واحة} two {تم اختيار نسختين} few {تم اختيار # نسخ} many {تم اختيار # نسخة} other {تم اختيار # نسخة}}","composer.attemptsSelector.tooltip":"عدد المحاولات المتزامنة التي سيقوم Codex بتنفيذها","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"إيقاف","composer.cloudFollowUp.cloud":"السحابة","composer.cloudFollowUp.local":"داخليًا","composer.cloudFollowUp.whereRun":"أين ينبغي إجراء هذه المتابعة؟","composer.cloudTaskCreationError":"حدث خطأ أثناء إنشاء مهمة السحابة","composer.cloudTaskError":"حدث خطأ أثناء إنشاء المهمة","composer.contextWindow.autoCompactionTooltipLine1":"يقوم Codex بضغط سياق البيانات تلقائيًا","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"نافذة السياق:","composer.contextWindowUsageStatusFull":"ممتلئة بنسبة {usage}%","composer.contextWindowUsageStatusLeft":"{usage}% مستخدمة ({remaining}% متبقية)","composer.contextWindowUsageTooltip":"تم استخدام {usedTokens} ألف من أصل {contextWindow} ألف من الرموز المميزة","composer.customCliTooltip":"استخدام CLI مخصص قابل للتنفيذ","composer.dictation.aria":"إملاء","composer.dictation.cancel.aria":"إيقاف الإملاء","composer.dictation.cancel.tooltip":"إيقاف الإملاء","composer.dictation.startError":"تعذر بدء الإملاء","composer.dictation.submit.aria":"تحويل إلى نص وإرسال","composer.dictation.submit.tooltip":"تحويل إلى نص وإرسال","composer.dictation.tooltip":"اضغط مطولاً للإملاء","composer.dictation.transcribeError":"تعذر تحويل الملف الصوتي إلى نص","composer.dictation.unsupported":"الإملاء غير متاح على هذا الجهاز","composer.dropOverlay.holdShift":"الاستمرار في الضغط على {key} لسحب الصورة","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"إنشاء بيئة Codex جديدة","composer.environmentSelector.error":"حدث خطأ أثناء تحميل البيئة","composer.environmentSelector.goBack":"رجوع إلى أداة الإنشاء","composer.environmentSelector.title":"تحديد بيئة","composer.environmentSelector.tooltip":"اختر بيئة سحابية","composer.feedbackSlashCommand.title":"الملاحظات","composer.filePicker.selectFile":"تحديد ملف","composer.filePicker.selectFiles":"تحديد ملفات","composer.followerTooltip":"للمتابعة، ارجع إلى النافذة التي بدأت منها هذه المحادثة.","composer.footer.branchSwitch.checkoutError":"تعذر التبديل إلى الفرع: {message}","composer.footer.branchSwitch.createAndCheckout":"إنشاء فرع جديد والتبديل إليه...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"حفظ التغييرات لإنشاء فرع جديد والتبديل إليه","composer.footer.branchSwitch.createBranchError":"تعذر إنشاء الفرع: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"اسم الفرع","composer.footer.branchSwitch.createDialog.branchExistsError":"الفرع موجود بالفعل.","composer.footer.branchSwitch.createDialog.close":"إغلاق","composer.footer.branchSwitch.createDialog.createAndCheckout":"إنشاء فرع والانتقال إليه","composer.footer.branchSwitch.createDialog.placeholder":"فرع جديد","composer.footer.branchSwitch.createDialog.title":"إنشاء فرع والانتقال إليه","composer.footer.branchSwitch.createDialog.trailingSlashError":"لا يمكن أن ينتهي اسم الفرع بـ”/”.","composer.footer.branchSwitch.tooltip":"التبديل إلى فرع آخر","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"حفظ التغييرات في {fileCount, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}} للانتقال إلى {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"حفظ","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"التغييرات في {fileCount, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}} للانتقال إلى {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"إلغاء","composer.footer.branchSwitch.uncommittedDialog.commit":"قم بالحفظ وتبديل الفرع...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"ستُستبدل تغييراتك في الملفات التالية عند الانتقال إلى فرع آخر:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"يرجى حفظ تغييراتك للمتابعة","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"الفرع المحدد","composer.footer.branchSwitch.uncommittedDialog.title":"حفظ التغييرات للانتقال إلى الفرع","composer.footer.branchSwitch.uncommittedSummaryPrefix":"غير المحفوظة: {fileCount, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}}","composer.forkSlashCommand.description":"قم بإنشاء تفريع من سلسلة الرسائل هذه في التعديلات الداخلية أو في مساحة عمل موازية","composer.forkSlashCommand.option.local.description":"متابعة في سلسلة رسائل داخلية جديدة","composer.forkSlashCommand.option.local.title":"تفريع إلى التعديلات الداخلية","composer.forkSlashCommand.option.worktree.description":"متابعة في مساحة عمل موازية جديدة","composer.forkSlashCommand.option.worktree.title":"تفريع إلى مساحة عمل موازية جديدة","composer.forkSlashCommand.title":"تفريع","composer.ideContextIndicator":"سياق بيئة التطوير المدمجة (IDE)","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"قم بتضمين السياق من بيئة التطوير المدمجة","composer.ideContextIndicator.tooltipToggle":"للتبديل","composer.ideContextSlashCommand.disableDescription":"قم بإيقاف تشغيل سياق بيئة التطوير المدمجة","composer.ideContextSlashCommand.enableDescription":"قم بتضمين التحديد الحالي والملفات المفتوحة والسياقات الأخرى من بيئة التطوير المدمجة","composer.ideContextSlashCommand.title":"سياق بيئة التطوير المدمجة (IDE)","composer.imageInputsUnsupported":"هذا النموذج لا يدعم إدخال الصور. جرب نموذجًا آخر.","composer.imageUploadFailed":"تعذر تحميل الصورة","composer.includeIdeContextDropdown":"تضمين سياق بيئة التطوير المدمجة (IDE)","composer.includeIdeContextDropdown.ariaLabel":"تضمين سياق بيئة التطوير المدمجة (IDE)","composer.localCwdDropdown.addWorkspaceRoot":"إضافة مشروع جديد","composer.localCwdDropdown.noActiveRoot":"اختر مشروعك","composer.localCwdDropdown.noResults":"لم يتم العثور على أي مجلدات","composer.localCwdDropdown.title":"اختر مشروعك","composer.localTaskError":"لقد حدث خطأ أثناء بدء المحادثة","composer.mcpSlashCommand.description":"عرض حالة خادم MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"غير مُصادَق عليه","composer.mcpStatus.authOauth":"تمت المصادقة (عبر OAuth)","composer.mcpStatus.authToken":"تمت المصادقة (باستخدام مفتاح API)","composer.mcpStatus.authUnsupported":"الإدخال / الإخراج القياسي (STDIO)","composer.mcpStatus.close":"إغلاق","composer.mcpStatus.disabled":"تم الإيقاف","composer.mcpStatus.emptyLabel":"الخوادم:","composer.mcpStatus.emptyValue":"لم يتم تكوين أي خوادم MCP","composer.mcpStatus.enabled":"مفعل","composer.mcpStatus.errorLabel":"الحالة:","composer.mcpStatus.errorValue":"تعذّر تحميل حالة MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"الوكيل","composer.mode.agentMode.auto.dropdownLabel":"الوكيل","composer.mode.agentMode.auto.optionLabel":"الوكيل","composer.mode.agentMode.changePermission":"تغيير الوضع","composer.mode.agentMode.custom":"مخصص","composer.mode.agentMode.custom.dropdownLabel":"مخصص","composer.mode.agentMode.custom.option":"مخصص (config.toml)","composer.mode.agentMode.custom.optionLabel":"مخصص (config.toml)","composer.mode.agentMode.customInfo.cancel":"إلغاء","composer.mode.agentMode.customInfo.cli":"يمكنك تعديل هذه الإعدادات من خلال CLI أو عن طريق تحرير الملف مباشرة.","composer.mode.agentMode.customInfo.confirm":"استخدام الوضع المخصص","composer.mode.agentMode.customInfo.description":"يطبق الوضع المخصص سياسات الموافقة وبيئة الاختبار الآمنة والمعزولة المحددة في <link>config.toml</link> ملف.","composer.mode.agentMode.customInfo.docs":"يمكنك معرفة المزيد عن إعداد سياسات الموافقة وبيئة الاختبار الآمنة والمعزولة من خلال الاطلاع على <link>وثائق بيئة التنفيذ</link>.","composer.mode.agentMode.customInfo.refresh":"تُطبَّق أي تغييرات عند تشغيل الوكيل في المرة التالية.","composer.mode.agentMode.customInfo.title":"كيف يعمل الوضع المخصص","composer.mode.agentMode.fullAccess":"الوكيل (الوصول الكامل)","composer.mode.agentMode.fullAccess.dropdownLabel":"الوكيل (الوصول الكامل)","composer.mode.agentMode.fullAccess.optionLabel":"الوكيل (الوصول الكامل)","composer.mode.agentMode.fullAccessConfirm.caution":"كن حذرًا عند تمكين الوصول الكامل. فهذا يزيد بصورة كبيرة من خطر فقدان البيانات أو تسريبها أو حدوث استجابة غير متوقعة.","composer.mode.agentMode.fullAccessConfirm.confirm":"نعم، استمر على أي حال","composer.mode.agentMode.fullAccessConfirm.description":"عند تشغيل Codex مع الوصول الكامل، يمكنه تعديل أي ملف على جهاز الكمبيوتر الخاص بك وتنفيذ الأوامر عبر الشبكة، دون موافقتك.","composer.mode.agentMode.fullAccessConfirm.goBack":"إلغاء","composer.mode.agentMode.fullAccessConfirm.title":"هل ترغب بالسماح بالوصول الكامل؟","composer.mode.agentMode.readOnly":"الدردشة","composer.mode.agentMode.readOnly.dropdownLabel":"الدردشة","composer.mode.agentMode.readOnly.optionLabel":"الدردشة","composer.mode.agentMode.tooltip":"تغيير الوضع","composer.mode.agentMode.tooltip.auto":"قراءة الملفات وتحريرها وتنفيذ الأوامر.","composer.mode.agentMode.tooltip.custom":"استخدم أحدث سياسات الموافقة وبيئة الاختبار الآمنة والمعزولة المحددة في config.toml.","composer.mode.agentMode.tooltip.fullAccess":"يمكن لـ Codex تحرير الملفات خارج المشروع وتنفيذ الأوامر مع الوصول إلى الشبكة. توخ الحذر عند الاستخدام.","composer.mode.agentMode.tooltip.readOnly":"يجب الحصول على موافقة لتحرير الملفات وتنفيذ الأوامر.","composer.mode.cloud.tooltip":"العمل ضمن بيئة سحابية","composer.mode.contactAdmin":"للحصول على مزيد من الصلاحيات، اتصل بالمسؤول الخاص بك","composer.mode.local":"داخليًا","composer.mode.local.learnMore":"تعرف على المزيد","composer.mode.local.model.custom":"مخصص","composer.mode.local.model.loadingModel":"جارٍ تحميل النموذج","composer.mode.local.model.selecrReasoningEffort":"اختر التفكير المنطقي المتعمق","composer.mode.local.model.selectModel":"اختر نموذجًا","composer.mode.local.model.tooltip":"اختر النموذج","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"عالٍ","composer.mode.local.reasoning.low.label":"منخفض","composer.mode.local.reasoning.medium.label":"متوسط","composer.mode.local.reasoning.minimal.label":"أقل","composer.mode.local.reasoning.none.label":"لا يوجد","composer.mode.local.reasoning.xhigh.label":"للغاية","composer.mode.localRemoteWhereRun":"اختر مكان تنفيذ المهمة","composer.mode.newTask.header":"متابعة في","composer.mode.rateLimit.day":"{days} أيام","composer.mode.rateLimit.heading":"حدود الاستخدام المتبقية","composer.mode.rateLimit.hour":"{hours} ساعات","composer.mode.rateLimit.minute":"{minutes} دقيقة","composer.mode.rateLimit.modelSectionLabel":"{modelName} الحد:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, zero {لا يوجد أي حدود للاستخدام الأسبوعي} one {حد الاستخدام الأسبوعي} two {حد الاستخدام الأسبوعي {weeks}} few {حد الاستخدام الأسبوعي {weeks}} many {حد الاستخدام الأسبوعي {weeks}} other {حد الاستخدام الأسبوعي {weeks}}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, zero {لا يوجد أي حدود للاستخدام الأسبوعي} one {حد الاستخدام الأسبوعي} two {حد الاستخدام الأسبوعي {weeks}} few {حد الاستخدام الأسبوعي {weeks}} many {حد الاستخدام الأسبوعي {weeks}} other {حد الاستخدام الأسبوعي {weeks}}}","composer.mode.remote.connectToCloud":"ربط Codex للويب","composer.mode.remote.connectToCloudDisabledTooltip":"إعداد بيئة عبر Codex على الويب لتمكين إرسال المهام إلى السحابة","composer.mode.remote.selectEnvironment":"تحديد بيئة","composer.mode.remote.sendToCloud":"الإرسال إلى السحابة","composer.mode.remote.setupViaWeb":"إعداد بيئة عبر Codex على الويب","composer.mode.runInCloud":"السحابة","composer.mode.runInCloudWithEnvironment":"السحابة · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"العمل ضمن بيئة سحابية","composer.mode.segmentedToggle.local.tooltip":"العمل ضمن المشروع الداخلي الخاص بك","composer.mode.segmentedToggle.worktree.tooltip":"العمل ضمن مساحة العمل الموازية","composer.mode.upgradeToPlus":"الترقية إلى Plus","composer.mode.upgradeToPro":"الترقية إلى Pro","composer.mode.workLocally":"مشروع داخلي","composer.mode.workLocally.currentBranchFallback":"الفرع الخاص بك","composer.mode.workLocally.tooltip":"العمل على {branchName}","composer.mode.worktree":"مساحة عمل موازية جديدة","composer.mode.worktree.submoduleWarning":"يحتوي هذا المستودع على وحدات Git فرعية، وقد يفشل إنشاء مساحة عمل موازية","composer.mode.worktree.tooltip":"إنشاء نسخة من مشروعك الداخلي للعمل عليها بالتوازي","composer.mode.worktreeSegment":"مساحة العمل الموازية","composer.modelChangeDuringConversationWarning.toast":"تغيير النماذج في منتصف المحادثة سيؤدي إلى تراجع مستوى الأداء.","composer.newChat.heading.browser":"ما الذي ترغب في تكويده الآن؟","composer.permissionsDropdown.agentMode.tooltip.custom":"يستخدم Codex الإذن المحدد في config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"يتمتع برنامج Codex بإمكانية الوصول الكامل إلى جهاز الكمبيوتر الخاص بك (مخاطر مرتفعة)","composer.permissionsDropdown.custom.label":"مخصص (config.toml)","composer.permissionsDropdown.custom.optionLabel":"مخصص (config.toml)","composer.permissionsDropdown.default.label":"الأذونات الافتراضية","composer.permissionsDropdown.default.optionLabel":"الأذونات الافتراضية","composer.permissionsDropdown.default.tooltip":"يقوم Codex بتشغيل الأوامر تلقائيًا في بيئة الاختبار المعزولة","composer.permissionsDropdown.disabled.requirements":"تم إغلاق الأذونات بواسطة requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"تم تعطيل الوصول الكامل بواسطة requirements.toml","composer.permissionsDropdown.fullAccess.label":"إمكانية الوصول الكامل","composer.permissionsDropdown.fullAccess.optionLabel":"إمكانية الوصول الكامل","composer.permissionsDropdown.trigger.tooltip":"تغيير الأذونات","composer.personalitySlashCommand.description.friendly":"ودود، متعاون، ويقدّم المساعدة","composer.personalitySlashCommand.description.pragmatic":"موجز، يركز على المهام، ومباشر","composer.personalitySlashCommand.label.friendly":"ودود","composer.personalitySlashCommand.label.pragmatic":"براجماتي","composer.personalitySlashCommand.notApplicableSuffix":"(لا ينطبق على النموذج  الحالي)","composer.personalitySlashCommand.title":"شخصية","composer.placeholder.cloudFollowUp.directFollowUp":"متابعة هذه المهمة على السحابة","composer.placeholder.cloudFollowUp.local":"قم بإنشاء مهمة جديدة داخلية تشير إلى هذه المهمة على السحابة.","composer.placeholder.cloudFollowUp.workingTree":"قم بإنشاء مهمة على السحابة جديدة تتضمن التعليمات البرمجية الحالية وتستند إلى هذه المهمة","composer.placeholder.localFollowUp.cloud":"متابعة مهمة جديدة على السحابة","composer.placeholder.localFollowUp.locally":"اطلب تغييرات المتابعة","composer.placeholder.newTask.cloud":"اطلب من Codex القيام بأي شيء على السحابة","composer.placeholder.newTask.doAnything":"اطلب من Codex القيام بأي شيء","composer.placeholder.newTask.locally":"اسأل Codex أي شيء، استخدم @ لإضافة ملفات، و/ للأوامر","composer.planModeDropdown":"وضع التخطيط","composer.planModeDropdown.ariaLabel":"وضع التخطيط","composer.planModeIndicator":"الخطة","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"أنشئ خطة باستخدام Codex","composer.planModeIndicator.tooltipToggle":"للتبديل","composer.planSlashCommand.disableDescription":"إيقاف تشغيل وضع التخطيط","composer.planSlashCommand.enableDescription":"تشغيل وضع التخطيط","composer.planSlashCommand.title":"وضع التخطيط","composer.priorContext.label":"السياق السابق","composer.priorContext.removeAriaLabel":"إزالة السياق السابق","composer.queuedMessage.delete":"حذف الرسالة قيد الانتظار","composer.queuedMessage.edit":"تحرير رسالة","composer.queuedMessage.more":"إجراءات الرسائل قيد الانتظار","composer.queuedMessage.sendNow":"توجيه","composer.queuedMessage.sendNowTooltip":"أرسل الآن دون مقاطعة العمل","composer.queuedMessage.turnOff":"إيقاف وضع الانتظار","composer.reasoningEffort.local.reasoning.tooltip":"تحديد مستوى التفكير المنطقي المتعمق","composer.remote.branchStartingPoint":"من أي فرع يجب أن تبدأ هذه المهمة؟","composer.remote.branchesSectionHeading":"فروع","composer.remote.currentEditsSuffix.followUp":"إنشاء مهمة جديدة تشير إلى مهمة السحابة هذه.","composer.remote.currentEditsSuffix.useLocal":"مع تغييرات التعليمات البرمجية الداخلية","composer.remote.directFollowUp":"لا تستخدم التغييرات الداخلية","composer.remote.errorLoadingBranches":"حدث خطأ أثناء تحميل الفروع","composer.remote.fromBranch":"من {branch}","composer.remote.fromCurrentBranch":"من {branch} (الحالي)","composer.remote.loadingMoreBranches":"جاري التحميل...","composer.remote.localFileStateHeading":"حالة الملف المحلي","composer.remote.localWorkingTree":"استخدم التغييرات الداخلية","composer.remote.startingPoint":"ما التعليمات البرمجية التي يجب أن تبدأ بها هذه المهمة؟","composer.reviewMode.branches.error":"تعذر تحميل الفروع","composer.reviewMode.branches.retry":"إعادة المحاولة","composer.reviewMode.gitRoot.error":"لم يتم العثور على الدليل الأساسي في Git","composer.reviewMode.option.baseBranch.simple":"المراجعة مقارنة بالفرع الأساسي","composer.reviewMode.option.unstaged.simple":"مراجعة التغييرات غير المحفوظة","composer.reviewMode.quickReviewError":"تعذر بدء مراجعة التعليمات البرمجية.","composer.reviewMode.title":"مراجعة التعليمات البرمجية","composer.sandboxButton.unlock.disabled.tooltip":"تم تعطيل الوصول الكامل بواسطة requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"يمكن لـCodex استخدام بيئة الاختبار المعزولة على نظام Windows للحد من الوصول إلى نظام الملفات والشبكة. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"هل ترغب في تمكين بيئة الاختبار المعزولة لنظام Windows؟","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"استخدام وضع القراءة فقط","composer.searchEnvironments":"البحث في البيئات","composer.skillMentionList.app":"التطبيق","composer.skillMentionList.loading":"جاري تحميل المهارات...","composer.skillMentionList.noResults":"لم يتم العثور على مهارات","composer.slashCommands.cloudEnvironment.title":"بيئة السحابة","composer.slashCommands.dialogLabel":"قائمة أوامر الشرطة المائلة (/)","composer.slashCommands.dialogTitle":"أوامر الشرطة المائلة (/)","composer.slashCommands.disabledTooltip":"ابدأ محادثة جديدة لاستخدام أوامر الشرطة المائلة (/)","composer.slashCommands.inputPlaceholder":"البحث","composer.slashCommands.noResults":"لا توجد أوامر","composer.slashCommands.skillsGroup":"المهارات","composer.slashCommands.tooltip":"تصفح أوامر الشرطة المائلة (/)","composer.status.close":"إغلاق","composer.statusPlain.alertLabel":"تنبيه:","composer.statusPlain.alertValue":"{remaining}% متبقي في {window}","composer.statusPlain.contextLabel":"السياق:","composer.statusPlain.contextTotal":"{count} ألف","composer.statusPlain.contextValueMetadata":"(تم استخدام {used}/{total})","composer.statusPlain.contextValueRemaining":"متبقي {remaining}%","composer.statusPlain.heading":"الحالة","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} الحد:","composer.statusPlain.rateLimitDays":"الحد اليومي {count}","composer.statusPlain.rateLimitFallbackLabel":"حد الاستخدام:","composer.statusPlain.rateLimitHours":"الحد لكل ساعة {count}","composer.statusPlain.rateLimitLabelBase":"حد الاستخدام","composer.statusPlain.rateLimitMinutes":"الحد لكل دقيقة {count}","composer.statusPlain.rateLimitPercent":"متبقي {remaining}%","composer.statusPlain.rateLimitReset":"يتم إعادة التعيين في {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"إعادة تعيين الوقت غير متاح","composer.statusPlain.rateLimitUnavailable":"غير متاح","composer.statusPlain.sessionCopiedAriaLabel":"تم نسخ معرف الجلسة","composer.statusPlain.sessionCopiedTooltip":"تم نسخ المعرف","composer.statusPlain.sessionCopyAriaLabel":"نسخ معرف الجلسة","composer.statusPlain.sessionCopyTooltip":"نسخ المعرف","composer.statusPlain.sessionLabel":"الجلسة:","composer.statusSlashCommand.description":"عرض معرف سلسة الرسائل واستخدام السياق وحدود الاستخدام","composer.statusSlashCommand.title":"الحالة","composer.submit.blockedDialogOk":"موافق","composer.submit.blockedDialogTitle":"تعذر إرسال الرسالة","composer.submit.emptyMessage":"أدخل رسالة للبدء","composer.submit.imageInputsUnsupported":"قم بإزالة الصور أو تغيير النموذج لإرسال هذه الرسالة.","composer.submit.loadingLocalConfig":"جاري التحميل...","composer.submit.missingCloudConfig":"يجب اختيار بيئة السحابة","composer.submit.missingCloudTurn":"تعذر متابعة هذه المهمة","composer.submit.noWorkspace":"أضف مشروعًا لاستخدام Codex","composer.submit.waitForImageUploads":"جاري تحميل الصور…","composer.submitButtonTooltip.send":"إرسال","composer.submitButtonTooltip.stop":"إيقاف","composer.worktreeEnvironment.create":"إنشاء البيئات الداخلية","composer.worktreeEnvironment.default":"البيئة الافتراضية","composer.worktreeEnvironment.error":"حدث خطأ أثناء تحميل البيئة","composer.worktreeEnvironment.loading":"جارٍ تحميل البيئات...","composer.worktreeEnvironment.title":"البيئة المحلية","composer.worktreeEnvironment.tooltip":"تحديد بيئة محلية","composer.worktreeSetupFailed":"تعذر إعداد مساحة العمل الموازية. تحقق من .codex/environments بحثًا عن البرنامج النصي للإعداد.","compoundButton.secondaryAction":"الإجراء الثانوي","copyButton.copied":"تم النسخ","copyButton.copiedAriaLabel":"تم النسخ","copyButton.copy":"نسخ","copyButton.copyAriaLabel":"نسخ","copyButton.copyCode":"نسخ التعليمات البرمجية","diff.actionButton.revertFile":"إعادة الملف للنسخة السابقة","diff.actionButton.revertHunk":"التراجع","diff.actionButton.revertSection":"التراجع عن الكل","diff.actionButton.revertSectionLabel":"التراجع عن الكل","diff.actionButton.stageFile":"تجهيز الملف","diff.actionButton.stageHunk":"تجزئة","diff.actionButton.stageSection":"تجهيز الكل","diff.actionButton.stageSectionLabel":"تجهيز الكل","diff.actionButton.unstageFile":"إلغاء تجهيز الملف","diff.actionButton.unstageHunk":"إلغاء التجزئة","diff.actionButton.unstageSection":"إلغاء تجهيز الكل","diff.actionButton.unstageSectionLabel":"إلغاء تجهيز الكل","diff.fileHeader.toggle":"تبديل عرض اختلافات الملفات","electron.onboarding.login.apikey.cancel":"إلغاء","electron.onboarding.login.apikey.continue":"متابعة","electron.onboarding.login.apikey.label":"مفتاح OpenAI API","electron.onboarding.login.apikey.open":"أدخل مفتاح API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"إلغاء تسجيل الدخول","electron.onboarding.login.chatgpt.continue":"المتابعة باستخدام ChatGPT","electron.onboarding.login.devbox":"الاتصال بـ SSH عن بُعد","electron.onboarding.login.error":"تعذر تسجيل الدخول: {rawMessage}","electron.onboarding.login.snake.start":"تشغيل الثعبان","electron.onboarding.login.sshConfig.cancel":"إلغاء","electron.onboarding.login.sshConfig.continue":"متابعة","electron.onboarding.login.sshConfig.hostnameLabel":"اسم مضيف SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"أفضل طريقة للبناء باستخدام الوكلاء","electron.onboarding.login.title":"مرحبًا بك في Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"متابعة","electron.onboarding.welcome.doubleLimits.description":"حتفاءً بإطلاق تطبيق Codex، تم مضاعفة حدود الاستخدام لديك حتى 2 أبريل.","electron.onboarding.welcome.freego.description":"برنامج Codex مشمول في خطتك مجانًا حتى 2 مارس - فلنبدأ البناء معًا.","electron.onboarding.welcome.new.title.anon":"مرحبًا","electron.onboarding.workspace.continue":"متابعة","electron.onboarding.workspace.empty":"أضف مشروعًا للمتابعة.","electron.onboarding.workspace.listLabel":"المشاريع المتاحة","electron.onboarding.workspace.loading":"جارٍ تحميل المشروعات...","electron.onboarding.workspace.openFolder":"إضافة مشروع","electron.onboarding.workspace.selectAll":"تحديد الكل","electron.onboarding.workspace.skip":"تجاوز","electron.onboarding.workspace.skip.error":"تعذر إنشاء مشروع جديد: {message}","electron.onboarding.workspace.skip.error.unknown":"خطأ غير معروف","electron.onboarding.workspace.skipping":"جارٍ إنشاء مشروع جديد...","electron.onboarding.workspace.subtitle":"سيتمكن برنامج Codex من تعديل الملفات وتشغيل الأوامر في المجلدات المحددة.","electron.onboarding.workspace.title":"تحديد مشروع","errorPage.list.checkSettings":"جرب تحديث إعدادات بيئة التطوير المدمجة","errorPage.list.configToml":"تحقق من config.toml بحثًا عن إعدادات غير صالحة","errorPage.list.downloadExtension":"جرب تنزيل نسخة مختلفة من المكون الإضافي","errorPage.list.runInWsl":"تحقق من إعداداتك لإيقاف التشغيل في نظام WSL إذا كنت تواجه مشكلات في الموائمة","execApprovalRequest.menu.runAlways":"نعم، ولا تسألني مرة أخرى في هذه الجلسة","execApprovalRequest.menu.runAlwaysWithAmendment":"نعم، ولا تسأل مرة أخرى عن الأوامر التي تبدأ بـ {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"نعم، ولا تسأل مرة أخرى عن الأوامر التي تبدأ بـ","execApprovalRequest.menu.runOnce":"نعم","execApprovalRequest.prompt":"هل ترغب في تنفيذ هذا الأمر؟","execApprovalRequest.reject":"لا","execFooter.exitCode":"إنهاء الكود {code}","execFooter.exitCode.unknown":"غير معروف","execFooter.success":"تم بنجاح","feedback.dialog.category.badResult":"نتيجة سيئة","feedback.dialog.category.bug":"خطأ برمجي","feedback.dialog.category.goodResult":"نتيجة جيدة","feedback.dialog.category.other":"غير ذلك","feedback.dialog.descriptionPlaceholder":"قم بوصف المشكلة هنا","feedback.dialog.dismiss":"إغلاق","feedback.dialog.includeLogsLabel":"تضمين سجلات جلسة Codex الحالية","feedback.dialog.submit":"إرسال","feedback.dialog.submitError":"تعذر إرسال ملاحظاتك، يرجى المحاولة مرة أخرى بعد قليل.","feedback.dialog.title":"الملاحظات","feedback.dialog.uploadedMessage.existingIssue":"مشكلة مفتوحة موجودة","feedback.dialog.uploadedMessage.openIssue":"فتح مشكلة في GitHub","feedback.dialog.uploadedMessage.withThread":"تم تحميل الملاحظات. إذا استمرت المشكلة، يرجى {openIssueLink} أو أشر إلى معرف سلسلة الرسائل في {existingIssueLink}:","feedback.dialog.uploadedTitle":"تم تحميل الملاحظات","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"إزالة {filename}","header.back":"رجوع","header.recentChats":"المهام","header.recentTasks.seeAll":"عرض الكل ({total})","home.header.getPlus":"اشترك في Plus","home.hero.letsBuild":"لنبدأ الإنشاء","homePage.mainContent":"المحتوى الرئيسي","imageAttachment.defaultName":"صورة","imageAttachment.preview.close":"غلق معاينة الصورة","imageAttachment.removeAriaLabel":"إزالة {filename}","implementPlanRequest.option.implement":"نعم، نفّذ هذه الخطة","implementPlanRequest.prompt":"هل ترغب في تنفيذ هذه الخطة؟","inbox.archived.deleteError":"تعذر حذف التعليمات البرمجية المؤرشفة","inbox.archived.deleteRun":"حذف التعليمات البرمجية المؤرشفة","inbox.archived.deleteSuccess":"تم حذف سلسلة الرسائل المؤرشفة. يمكنك عرضها ضمن <settingsLink>سلاسل الرسائل المؤرشفة</settingsLink>.","inbox.archived.inlineLabel.auto":"تمت أرشفة سلسلة الرسائل هذه تلقائيًا. <learnMoreLink>تعرف على المزيد</learnMoreLink>","inbox.archived.inlineLabel.manual":"تمت أرشفة سلسلة الرسائل هذه.","inbox.archived.noMessageFound":"لم يتم العثور على أي رسائل","inbox.automations.createError":"لا يمكن إنشاء عملية الأتمتة","inbox.automations.deleteConfirm.cancel":"إلغاء","inbox.automations.deleteConfirm.confirm":"حذف الأتمتة","inbox.automations.deleteConfirm.description":"سيؤدي هذا إلى حذف الأتمتة بشكل دائم وإيقاف أي تشغيلات مستقبلية.","inbox.automations.deleteConfirm.title":"هل ترغب في حذف {name}؟","inbox.automations.deleteError":"تعذر حذف الأتمتة","inbox.automations.editTooltip":"تحرير عملية الأتمتة","inbox.automations.inProgress":"قيد التنفيذ","inbox.automations.new":"جديد","inbox.automations.newToolbar":"عملية أتمتة جديدة","inbox.automations.pauseTooltip":"إيقاف الأتمتة مؤقتًا","inbox.automations.resumeTooltip":"استئناف الأتمتة","inbox.automations.startingNow":"جاري البدء","inbox.automations.startsIn":"تبدأ في {startTime}","inbox.automations.status.active":"نشط","inbox.automations.status.paused":"تم الإيقاف مؤقتًا","inbox.automations.status.runs":"{count} عمليات تشغيل","inbox.automations.status.started":"تم بدء {date}","inbox.automations.updateError":"لا يمكن تحديث عملية الأتمتة","inbox.automations.workspaceFallback":"-","inbox.filter.all":"الكل","inbox.filter.ariaLabel":"تصفية عناصر صندوق البريد الوارد","inbox.filter.unread":"غير مقروء","inbox.list.archived":"مؤرشف","inbox.list.inProgress":"قيد التنفيذ","inbox.list.recent":"اكتمل","inbox.list.upNext":"مجدول","inbox.mode.automations":"الأتمتة","inbox.mode.automations.beta":"تجريبي","inbox.noDescription":"لم يتم تقديم وصف","inbox.openThread":"فتح سلسلة الرسائل","inbox.rightPanel.emptySubtitle":"أتمتة العمل من خلال إعداد مهام مجدولة","inbox.rightPanel.emptySubtitle.learnMore":"أتمتة العمل من خلال إعداد سلاسل رسائل مجدولة.<link>تعرف على المزيد</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, zero {لا توجد عمليات أتمتة نشطة (#)} one {عملية أتمتة واحدة نشطة (#)} two {عمليتا أتمتة نشطتان (#)} few {# عمليات أتمتة نشطة} many {# عملية أتمتة نشطة} other {# عملية أتمتة نشطة}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"لا توجد عمليات أتمتة غير مقروءة","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, zero {لا توجد عمليات أتمتة غير مقروءة (#)} one {عملية أتمتة واحدة غير مقروءة (#)} two {عمليتا أتمتة غير مقروءتين (#)} few {# عمليات أتمتة غير مقروءة} many {# عملية أتمتة غير مقروءة} other {# عملية أتمتة غير مقروءة}}","inbox.rightPanel.emptyTitle":"لم يتم تحديد عناصر","inbox.rightPanel.noThread":"لا توجد سلاسل رسائل متاحة لهذا العنصر","inbox.rightPanel.quickStart.header":"ابدأ من خلال استخدام قالب","inbox.untitled":"عنصر غير معنون في صندوق البريد الوارد","loadingPage.documentationLink":"الوثائق","loadingPage.errorDescription":"توقف Codex عن العمل مع ظهور الخطأ التالي:","loadingPage.errorDescription.documentation":"اضغط على إعادة التحميل لإعادة تشغيل المكون الإضافي لـ Codex، أو تفضل بزيارة {documentationLink} للحصول على المزيد من المساعدة.","loadingPage.errorSignal":"بعض الأمور التي يمكن تجربتها:","loadingPage.errorTitle":"حدث خطأ ما","loadingPage.openConfigToml":"فتح Config.toml","loadingPage.reload":"إعادة التحميل","localConversation.contextCompacted":"تم ضغط السياق تلقائيًا","localConversation.contextCompacting":"جاري ضغط السياق تلقائيًا","localConversation.forkedFromConversation":"تفريع من {threadTitle}","localConversation.merge.autoResolve.failed":"تعذر طلب الحل التلقائي: {error}","localConversation.merge.autoResolve.sent":"تم إرسال طلب الحل التلقائي","localConversation.merge.autoResolveMerge.missingConversation":"تعذر الحل التلقائي بدون محادثة نشطة.","localConversation.merge.autoResolveMerge.request":"حل تعارضات الدمج تلقائيًا","localConversation.modelChanged":"تم تغيير النموذج من {fromModel} إلى {toModel}","localConversation.modelChanged.warning.line1":"تغيير النماذج في منتصف المحادثة سيؤدي إلى تراجع مستوى الأداء.","localConversation.modelChanged.warning.line2":"قد يتم ضغط السياق تلقائيًا.","localConversation.moveThread.createBranch.label":"إنشاء فرع","localConversation.moveToLocal.disabled.loading":"جاري التحميل...","localConversation.moveToLocal.modal.continue":"متابعة","localConversation.moveToLocal.modal.destinationLabel":"نقل إلى","localConversation.moveToLocal.modal.retry":"إعادة المحاولة","localConversation.moveToWorktree.modal.back":"رجوع","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"الفرع موجود بالفعل.","localConversation.moveToWorktree.modal.branchesError":"تعذر تحميل الفروع","localConversation.moveToWorktree.modal.branchesLoading":"جارٍ تحميل الفروع","localConversation.moveToWorktree.modal.branchesRetry":"إعادة المحاولة","localConversation.moveToWorktree.modal.continue":"متابعة","localConversation.moveToWorktree.modal.retry":"إعادة المحاولة","localConversation.moveToWorktree.modal.trailingSlashError":"لا يمكن أن ينتهي اسم الفرع بـ”/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"فرع جديد","localConversation.personalityChanged":"تم التحويل إلى شخصية {personality}","localConversation.planSummary.collapse":"طي ملخص الخطة","localConversation.planSummary.collapseTooltip":"طي","localConversation.planSummary.download":"تنزيل الخطة","localConversation.planSummary.expand":"توسيع ملخص الخطة","localConversation.planSummary.expandTooltip":"توسيع","localConversation.planSummary.openInNewWindow":"فتح","localConversation.planSummary.openInNewWindow.tooltip":"فتح في نافذة جديدة","localConversation.planSummary.title":"الخطة","localConversation.planSummary.titleWriting":"خطة الكتابة","localConversation.planSummary.viewPlan":"توسيع الخطة","localConversation.remoteTaskCreated":"تم إنشاء {taskLink} في Codex للسحابة","localConversation.remoteTaskCreated.task":"مهمة","localConversation.scrollToBottomButton":"التمرير لأسفل","localConversation.sync.buttonLabel":"نقل إلى الجهاز المحلي","localConversation.sync.buttonLabel.tooltip":"نقل التعديلات بين مساحة العمل الموازية هذه تعديلاتك الداخلية.","localConversation.sync.modal.loading.title":"جاري نقل التغييرات…","localConversation.sync.modal.noChanges":"لا توجد تغييرات","localConversation.syncSetup.branchAriaLabel":"اسم الفرع","localConversation.syncSetup.branchName":"اسم الفرع","localConversation.syncSetup.branchPlaceholder.existing":"اختيار الفرع الحالي","localConversation.syncSetup.branchPlaceholder.new":"codex/ميزات جديدة","localConversation.syncSetup.branchesLoading":"جارٍ تحميل الفروع","localConversation.syncSetup.checkoutAlreadyCheckedOut":"تم التفعيل بالفعل","localConversation.syncSetup.checkoutClean":"حاليًا على {branchName}","localConversation.syncSetup.checkoutDirty":"أنت حاليًا على {branchName} مع تغييرات غير محفوظة","localConversation.syncSetup.checkoutError":"تعذر الانتقال إلى الفرع: {message}","localConversation.syncSetup.checkoutLabel":"التفعيل محليًا الآن","localConversation.syncSetup.checkoutOnLocal":"نقل إلى الجهاز المحلي","localConversation.syncSetup.checkoutPending":"جارٍ التحقق من الحالة المحلية...","localConversation.syncSetup.checkoutUnavailable":"مساحة العمل المحلية غير متاحة","localConversation.syncSetup.checkoutUnknown":"الفرع المحلي غير متاح","localConversation.syncSetup.continue":"متابعة","localConversation.syncSetup.createBranchError":"تعذر تعيين فرع التسليم: {message}","localConversation.syncSetup.error":"لقد حدث خطأ ما: {message}","localConversation.syncSetup.error.workingTreeMissing":"تعذر إنشاء لقطة لمساحة العمل الموازية. يُرجى إعادة محاولة التسليم.","localConversation.syncSetup.mode.ariaLabel":"تحديد وضع الفرع","localConversation.syncSetup.mode.existing":"الفرع الحالي","localConversation.syncSetup.mode.new":"فرع جديد","localConversation.syncSetup.noBranches":"لم يتم العثور على أي فروع","localConversation.syncSetup.overwriteError":"تم إنشاء الفرع ولكن لم يتم تسليمه بالكامل. قم بالتسليم يدويًا قبل التبديل إليه محليًا.","localConversation.syncSetup.setPrefix":"إعداد بادئة","localConversation.syncSetup.subtitle":"اختبر وعدّل تغييرات مساحة العمل محليًا. <a>تعرّف على المزيد</a>","localConversation.syncSetup.success.checkedOut":"تم إنشاء الفرع والتفعيل محليًا","localConversation.syncSetup.success.notCheckedOut":"تم إنشاء الفرع","localConversation.syncSetup.title":"التسليم إلى فرع محلي","localConversation.syncWorktreeError.branchAriaLabel":"اسم الفرع","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/ميزات جديدة","localConversation.syncWorktreeError.branchSetup.subtitle":"اختر فرعًا للتسليم إليه، ثم أعد محاولة تحميل التغييرات.","localConversation.syncWorktreeError.branchSetup.title":"تحديث الفرع","localConversation.syncWorktreeError.branchUpdate.cta":"قم بالتحديث ثم أعد المحاولة","localConversation.syncWorktreeError.branchUpdate.error":"فشل تحديث الفرع: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"لقد حدث خطأ ما: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"الفرع غير مسجل في أي مساحة عمل موازية.","localConversation.syncWorktreeV2.applyUncommitted":"تطبيق","localConversation.syncWorktreeV2.applyUncommitted.disabled":"بدّل إلى الفرع محليًا لتطبيق التغييرات غير المحفوظة","localConversation.syncWorktreeV2.branches.empty":"لم يتم العثور على أي فروع","localConversation.syncWorktreeV2.branches.loading":"جارٍ تحميل الفروع","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"تغيير فرع التسليم","localConversation.syncWorktreeV2.changeBranch.error":"تعذر تغيير فرع التسليم: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"تعذر التطبيق","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"فشل تبديل مساحة العمل الموازية","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"فشل تبديل التعديلات المحلية","localConversation.syncWorktreeV2.commandError.back":"رجوع","localConversation.syncWorktreeV2.commandError.body":"تعذر تنفيذ أمر Git أثناء عملية التسليم. يُرجى مراجعة المخرجات وإعادة المحاولة.","localConversation.syncWorktreeV2.commandError.retry":"إعادة المحاولة","localConversation.syncWorktreeV2.description":"تسليم التغييرات بين مساحة العمل المحلية ومساحة العمل الموازية. <a>تعرف على المزيد</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"تحديد اتجاه التسليم","localConversation.syncWorktreeV2.error.generic":"حدث خطأ أثناء التسليم. أعد المحاولة.","localConversation.syncWorktreeV2.localBranchLabel":"داخليًا","localConversation.syncWorktreeV2.noChanges":"جارٍ حساب التغييرات","localConversation.syncWorktreeV2.noChanges.summary":"لا توجد تغييرات","localConversation.syncWorktreeV2.overwrite.local":"تجاهل التعديلات المحلية","localConversation.syncWorktreeV2.overwrite.worktree":"تجاهل مساحة العمل الموازية","localConversation.syncWorktreeV2.partial.action.applyFailed":"تعذر تطبيق التغييرات","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"تعذر استبدال التغييرات المحلية","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"تعذر استبدال تغييرات مساحة العمل الموازية","localConversation.syncWorktreeV2.partial.appliedLabel":"تم تطبيق","localConversation.syncWorktreeV2.partial.back":"رجوع","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"يُرجى حل التعارضات ثم المحاولة مجددًا.","localConversation.syncWorktreeV2.partial.conflictsLabel":"تعارضات","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}}","localConversation.syncWorktreeV2.partial.retry":"إعادة المحاولة","localConversation.syncWorktreeV2.partial.skippedLabel":"تم تخطيه","localConversation.syncWorktreeV2.stateFailed.generic":"حدث خطأ ما أثناء جلب تغييرات مساحة العمل الموازية للتسليم. يُرجى المحاولة مرة أخرى.","localConversation.syncWorktreeV2.stateFailed.title":"فشل تحميل مساحة العمل الموازية","localConversation.syncWorktreeV2.statusError.diffUnknown":"فشل تحميل مساحة العمل الموازية.","localConversation.syncWorktreeV2.statusError.retry":"إعادة المحاولة","localConversation.syncWorktreeV2.statusError.title":"تعذر تحميل تغييرات الفرع المحلي","localConversation.syncWorktreeV2.statusError.unknown":"حالة الفرع غير متاحة حاليًا. حاول مرة أخرى.","localConversation.syncWorktreeV2.success.apply":"تم تطبيق التغييرات بنجاح","localConversation.syncWorktreeV2.success.overwrite":"تم التسليم بنجاح","localConversation.syncWorktreeV2.title":"التغييرات في التسليم","localConversation.syncWorktreeV2.worktreeLabel":"مساحة العمل الموازية","localConversation.userInputRequest.inProgress":"جارٍ الطلب {count, plural, zero {لم يتم الإجابة على أي أسئلة} one {سؤال} two {سؤالان} few {أسئلة} many {سؤالاً} other {سؤال}}","localConversation.userInputRequest.noAnswer":"لم يتم تقديم أي إجابات","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"تم الطلب","localConversation.userInputRequest.summary.count":"{count, plural, zero {لا توجد أسئلة (#)} one {سؤال واحد (#)} two {سؤالان اثنان (#)} few {# أسئلة} many {# سؤالاً} other {# سؤال}}","localConversation.workedFor":"قام بالعمل لمدة {time}","localConversation.worktreeBranchSetup.action.create":"إنشاء","localConversation.worktreeBranchSetup.branchAriaLabel":"اسم الفرع","localConversation.worktreeBranchSetup.branchPlaceholder.new":"إنشاء فرع جديد","localConversation.worktreeBranchSetup.checkoutDisabled":"هذا الفرع مُفعَّل بالفعل في {location}","localConversation.worktreeBranchSetup.checkoutError":"تعذر الانتقال إلى الفرع: {message}","localConversation.worktreeBranchSetup.createBranchError":"تعذر تعيين الفرع: {message}","localConversation.worktreeBranchSetup.error":"لقد حدث خطأ ما: {message}","localConversation.worktreeBranchSetup.subtitle":"أنشئ فرعًا لحفظ التغييرات، ثم ارفعها وأنشئ طلب سحب من مساحة العمل الموازية هذه. <a>تعرّف على المزيد</a>","localConversation.worktreeBranchSetup.title":"العمل هنا","localConversationPage.addWorktreeToSidebar.tooltip":"حفظها كمشروع حتى تتمكن من بدء سلاسل جديدة من مساحة العمل الموازية هذه","localConversationPage.addWorktreeToSidebarError":"فشل إضافة مشروع","localConversationPage.commitAndCreatePrModal.errorTitle":"تعذر تسجيل وإنشاء طلب سحب","localConversationPage.commitAndCreatePrModal.successTitle":"تم تسجيل وإنشاء طلب سحب","localConversationPage.commitAndPushModal.errorTitle":"تعذر التسجيل والإرسال","localConversationPage.commitAndPushModal.successTitle":"تم تسجيل وإرسال التغييرات","localConversationPage.commitCreatePr.open":"فتح طلب السحب","localConversationPage.commitCreatePr.successTitle":"تم إنشاء طلب السحب بأحدث تغييراتك","localConversationPage.createBranchButtonLabel":"فرع هنا","localConversationPage.createPrModal.baseBranch":"الفرع الأساسي","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"إنشاء طلب سحب","localConversationPage.createPrModal.createDescription":"فتح طلب السحب لأحدث تغييراتك.","localConversationPage.createPrModal.errorTitle":"تعذر طلب السحب","localConversationPage.createPrModal.headBranch":"الفرع المصدر","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"فتح طلب سحب","localConversationPage.createPrModal.successTitle":"تم إنشاء طلب السحب","localConversationPage.createPrModal.title":"إنشاء طلب سحب","localConversationPage.createPrModal.viewDescription":"يوجد طلب سحب بالفعل لهذا الفرع.","localConversationPage.createPrModal.viewTitle":"طلب سحب جاهز","localConversationPage.createPullRequestAuthGh":"يلزم مصادقة GitHub CLI: يرجى تنفيذ الأمر `gh auth login`","localConversationPage.createPullRequestBranchMissing":"معلومات الفرع غير متوفرة","localConversationPage.createPullRequestButtonLabel":"إنشاء طلب سحب","localConversationPage.createPullRequestButtonLabel.loading":"جارٍ إنشاء PR...","localConversationPage.createPullRequestDefaultBranchMissing":"معلومات الفرع الافتراضي غير متوفرة","localConversationPage.createPullRequestError":"تعذر إنشاء طلب السحب","localConversationPage.createPullRequestExistingPullRequest":"يوجد طلب سحب بالفعل لهذا الفرع","localConversationPage.createPullRequestGhStatusMissing":"جاري تحميل حالة GitHub CLI...","localConversationPage.createPullRequestInstallGh":"تثبيت GitHub CLI (gh) لإنشاء طلبات سحب","localConversationPage.createPullRequestNoRepo":"لم يتم العثور على قاعدة بيانات git","localConversationPage.createPullRequestPushStatusMissing":"جارٍ تحميل حالة الإرسال...","localConversationPage.createPullRequestSetUpstream":"أرسل هذا الفرع قبل إنشاء طلب سحب","localConversationPage.createPullRequestSuccessToast":"تم إنشاء طلب السحب","localConversationPage.createPullRequestSwitchBranch":"انتقل إلى فرع ميزة قبل إنشاء طلب سحب","localConversationPage.error.render":"خطأ في عرض المحادثة الداخلية","localConversationPage.error.toast":"تعذر العثور على المحادثة","localConversationPage.forcePushError":"تعذر الإرسال القسري","localConversationPage.generatePullRequestMessageError":"فشل إنشاء عنوان ونص طلب السحب","localConversationPage.generatePullRequestMessageFailed":"فشل إنشاء عنوان ونص طلب السحب.","localConversationPage.gitActionResult.branch":"فرع","localConversationPage.gitActionResult.cancel":"إلغاء","localConversationPage.gitActionResult.close":"إغلاق","localConversationPage.gitActionResult.tryAgain":"أعد المحاولة","localConversationPage.gitActions":"إجراءات Git","localConversationPage.newChat":"دردشة جديدة","localConversationPage.openInTarget":"فتح في","localConversationPage.openPrimaryTarget":"فتح","localConversationPage.planItemsCompleted":"{completedItems} من {totalItems, plural, zero {لا يوجد مهام تم إكمالها} one {تم إكمال مهمة واحدة} two {تم إكمال مهمتين} few {تم إكمال # مهام} many {تم إكمال # مهمة} other {تم إكمال # مهمة}}","localConversationPage.pushAuthError":"تعذر الإرسال: المصادقة مطلوبة","localConversationPage.pushBranchMissing":"معلومات الفرع غير متوفرة","localConversationPage.pushButtonLabel":"الإشعارات الفورية","localConversationPage.pushButtonLabel.loading":"جارٍ الإرسال...","localConversationPage.pushError":"تعذر إرسال التغييرات","localConversationPage.pushModal.branchLabel":"فرع","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"إلغاء","localConversationPage.pushModal.confirm":"الإشعارات الفورية","localConversationPage.pushModal.description":"أرسل أحدث عمليات التسجيل الخاصة بك إلى قاعدة البيانات البعيدة.","localConversationPage.pushModal.errorTitle":"تعذر الإرسال","localConversationPage.pushModal.forcePush":"الإرسال القسري","localConversationPage.pushModal.successTitle":"تم الانتهاء من الإرسال","localConversationPage.pushModal.title":"أرسل تغييرات","localConversationPage.pushModal.tryAgain":"أعد المحاولة","localConversationPage.pushNoUpstream":"اربط هذا الفرع بفرع بعيد قبل الإرسال","localConversationPage.pushNoUpstreamError":"تعذر الإرسال: لم يتم إعداد الفرع البعيد","localConversationPage.pushNothingToPush":"لا توجد تثبيتات جديدة للإرسال","localConversationPage.pushRemoteChangedError":"تعذر الإرسال: توجد تثبيتات جديدة في الفرع البعيد","localConversationPage.pushRemoteRejectedError":"رفض الفرع البعيد الإرسال","localConversationPage.pushStatusMissing":"جارٍ تحميل حالة الإرسال...","localConversationPage.pushSuccessToast":"التغييرات المُرسلة","localConversationPage.viewPullRequestButtonLabel":"عرض طلب السحب","localConversationPage.viewPullRequestButtonLabel.loading":"جارٍ تحميل طلب السحب…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, zero {# قوائم} one {قائمة واحدة (#)} two {قائمتان (#)} few {# قوائم} many {# قائمة} other {# قائمة}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, zero {تم إجراء # عمليات بحث} one {تم إجراء علمية بحث واحدة} two {تم إجراء # عمليات بحث} few {تم إجراء # عمليات بحث} many {تم إجراء # عمليات بحث} other {تم إجراء # عمليات بحث}}</countText>","localConversationTurn.exploration.accordion.count.separator":"،","localConversationTurn.exploration.accordion.header.active":"جاري الاستكشاف","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"تم الاستكشاف","localConversationTurn.exploration.accordion.header.complete.withCounts":"تم استكشاف {counts}","localConversationTurnStory.showContent":"إظهار المحتوى","localConversationTurnStory.streamContent":"بث المحتوى","localConversationTurnStory.toggleReasoning":"إظهار التفكير المنطقي المتعمق","localTaskRow.archiveError":"تعذر أرشفة المحادثة","localTaskRow.resumeError":"تعذر استئناف المهمة","mermaidDiagram.ariaLabel":"رسم توضيحي من نوع Mermaid","mermaidDiagram.copySource":"نسخ Mermaid","mermaidDiagram.originalCode":"كود المصدر Mermaid","notifications.permissions.description":"عرض التنبيهات عند الحاجة إلى أذونات الإشعارات","notifications.permissions.label":"تمكين إشعارات الأذونات","notifications.turnMode.always":"دائمًا","notifications.turnMode.description":"يتم التعيين عندما يُنبّهك Codex بأنه انتهى","notifications.turnMode.label":"تفعيل إشعارات الإكمال","notifications.turnMode.off":"غير موجود","notifications.turnMode.unfocused":"عندما يكون غير نشط","patchApprovalRequest.approve":"موافقة","patchApprovalRequest.menu.allowAlways":"نعم، ولا تسألني مرة أخرى في هذه الجلسة","patchApprovalRequest.menu.allowForSession":"نعم، ولا تسألني مرة أخرى في هذه الجلسة","patchApprovalRequest.menu.allowOnce":"نعم","patchApprovalRequest.prompt":"هل ترغب في إجراء هذه التغييرات؟","patchApprovalRequest.reject":"لا","patchApprovalRequest.waitingForApproval":"في انتظار الموافقة لتحرير الملفات","pendingRequest.approvalExec.collapse":"طي","pendingRequest.approvalExec.expand":"توسيع","pendingRequestStory.toastAnswer":"الإجابة: {answer}","pendingRequestStory.toastApprovalTitle":"ردّ الموافقة","pendingRequestStory.toastFollowupPrompt":"مطالبة: {prompt}","pendingRequestStory.toastFollowupTitle":"تم إرسال رسالة المتابعة","pendingRequestStory.toastNoAnswers":"لم يتم تقديم أي إجابات","pendingRequestStory.toastQuestion":"السؤال: {question}","pendingRequestStory.toastUnknownDecision":"غير معروف","pendingRequestStory.toastUserInputTitle":"الإجابات المقدَّمة","quickAction.request.codeReview.branches.new":"يرجى مراجعة التغييرات الموجودة في {from} مقارنة بـ {to}","quickAction.request.codeReview.uncommitted.new":"يرجى مراجعة التغييرات غير المحفوظة","reasoningItem.thinking":"جاري التفكير","reasoningItem.thought":"قام بالتفكير","reasoningItem.thoughtWithElapsed":"قام بالتفكير لمدة {elapsed}","recentConversations.title":"المحادثات الأخيرة","recentTasks.worktreeInitFailedTitle":"تعذر تهيئة مساحة العمل الموازية","recentTasks.worktreeSettingUpTitle":"إعداد مساحة العمل الموازية","requestInputPanel.continue":"متابعة","requestInputPanel.dismiss":"إغلاق","requestInputPanel.escapeKey":"اضغط على ESC","requestInputPanel.freeFormPlaceholder":"اكتب هنا","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"لا، وأخبر Codex بما يجب عليه فعله بطريقة مختلفة","requestInputPanel.selectedBadge":"المحددة","requestInputPanel.skip":"تجاوز","requestInputPanel.submit":"إرسال","review.commit.ariaLabel.includeUnstaged":"تضمين التغييرات غير المجزئة","review.commit.buttonLabel":"إجراء","review.commit.disabled.committing":"جارٍ التسجيل...","review.commit.disabled.loadingDiff":"جاري تحميل التغييرات...","review.commit.disabled.missingContext":"أضف بعض السياق لإنشاء رسالة تأكيد","review.commit.disabled.noChanges":"لا توجد تغييرات لتأكيدها","review.commit.disabled.noSelection":"حدد التغييرات التي سيتم تأكيدها","review.commit.disabled.unavailable":"التأكيد غير متاح حاليًا","review.commit.error":"تعذر تطبيق التغييرات","review.commit.form.changesToBeCommitted":"التغييرات","review.commit.form.commitTo":"فرع","review.commit.form.commitTo.none":"-","review.commit.form.continue":"متابعة","review.commit.form.title":"تأكيد تغييراتك","review.commit.generate.emptyResponse":"تعذر إنشاء رسالة تأكيد.","review.commit.generate.failed":"فشل إنشاء رسالة التأكيد: {error}","review.commit.generate.missingPrompt":"أضف بعض السياق لإنشاء رسالة تأكيد.","review.commit.includeUnstaged":"تضمين التغييرات غير المجزئة","review.commit.loading.description":"تمالك نفسك، قد يستغرق هذا بضع لحظات...","review.commit.loading.step.commit.done":"التغييرات المؤكدة","review.commit.loading.step.commit.pending":"جارٍ تنفيذ التغييرات","review.commit.loading.step.createPr.done":"تم إنشاء طلب سحب","review.commit.loading.step.createPr.pending":"جارٍ إنشاء طلب سحب","review.commit.loading.step.push.done":"تم الإرسال إلى الفرع {branch}","review.commit.loading.step.push.pending":"جارٍ الإرسال على الفرع {branch}","review.commit.loading.title.commit":"جارٍ تنفيذ التغييرات","review.commit.loading.title.createPr":"جارٍ إنشاء طلب سحب","review.commit.loading.title.push":"جارٍ إرسال التغييرات","review.commit.messageLabel":"تحرير الإجراء","review.commit.messagePlaceholder":"اتركه فارغًا لإنشاء رسالة الالتزام تلقائيًا","review.commit.nextSteps":"الخطوات التالية","review.commit.nextSteps.commit":"تسجيل","review.commit.nextSteps.commitAndCreate":"تسجيل وإنشاء طلب سحب","review.commit.nextSteps.commitAndPush":"التسجيل والإرسال","review.commit.nextSteps.prRequiresGh":"يتطلب GitHub CLI: {command}","review.commit.rows.changes":"التغييرات","review.commit.rows.commitCount":"{count, plural, zero {بلا تأكيدات (#)} one {تأكيد واحد (#)} two { تأكيدان (#)} few {# تأكيدات} many {# تأكيدًا} other {# تأكيدٍ}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, zero {لا يوجد تأكيدات (#)} one {تأكيد واحد (#)} two {تأكيدان (#)} few {# تأكيدات} many {# تأكيدًا} other {# تأكيد}} و {stats}","review.commit.rows.fileCount":"{count, plural, zero {# ملف} one {ملف واحد} two {# ملف} few {# ملف} many {# ملف} other {# ملف}}","review.commit.state.error.body":"حدث خطأ ما أثناء عملية تأكيد التغييرات. تحقق من حالة git وحاول مرة أخرى.","review.commit.state.error.title":"فشل التأكيد","review.commit.state.success.title":"تم تسجيل التغييرات","review.commit.untracked.loadingStats":"جارٍ تحميل إحصاءات الاختلافات التي لم يتم تعقبها…","reviewFindingAttachments.count":"{count, plural, zero {لا نتائج (#)} one {نتيجة واحدة (#)} two {نتيجتان (#)} few {# نتائج} many {# نتيجة} other {# نتيجة}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"تحرير التكوين لتخصيص استجابة الوكيل","settings.agent.configuration.configToml.docs":"المستندات","settings.agent.configuration.configToml.restartNote":"أعد تشغيل Codex بعد التحرير لتطبيق التغييرات","settings.agent.configuration.subtitle":"تنطبق هذه الإعدادات على أي مكان يُستخدم فيه Codex","settings.automations.banner.danger":'تتم الأتمتة وفقًا لإعدادات بيئة الاختبار المعزولة الافتراضية، والمعيّنة حاليًا على "الوصول الكامل". ينطوي تشغيل الأتمتة في الخلفية بصلاحية "الوصول الكامل" على مخاطر مرتفعة؛ حيث يمكن لـ Codex تعديل الملفات، وتشغيل الأوامر، والوصول إلى الشبكة دون إذن مسبق. يُرجى النظر في تحديث الإعدادات إلى صلاحية الكتابة في مساحة العمل، واستخدام <rulesDocsLink>القواعد</rulesDocsLink> لتحديد الأوامر التي يُسمح للوكيل بتشغيلها بصلاحية الوصول الكامل.',"settings.automations.banner.defaultHowTo.default":"تتم الأتمتة وفقًا لإعدادات بيئة الاختبار المعزولة الافتراضية، ستفشل استدعاءات الأدوات إذا كانت تتطلب تعديل ملفات خارج مساحة العمل، أو الوصول إلى الشبكة، أو التعامل مع التطبيقات المثبتة على جهازك. يمكنك استخدام <rulesDocsLink>القواعد</rulesDocsLink> للسماح بتشغيل أوامر محددة خارج بيئة الاختبار.","settings.automations.banner.defaultHowTo.readOnly":"تتم الأتمتة وفقًا لإعدادات بيئة الاختبار المعزولة الافتراضية، والمعيّنة حاليًا على وضع القراءة فقط. ستفشل استدعاءات الأدوات إذا كانت تتطلب تعديل الملفات، أو الوصول إلى الشبكة، أو التعامل مع التطبيقات المثبتة على جهازك. يُرجى النظر في تحديث إعدادات بيئة العمل إلى صلاحية الكتابة في مساحة العمل.","settings.automations.cancel":"إلغاء","settings.automations.create":"إنشاء","settings.automations.cwdEmpty":"لا توجد مجلدات مشروعات متاحة","settings.automations.cwdLabel":"المشروعات","settings.automations.cwdPlaceholder":"اختر مجلدًا","settings.automations.cwdSubtitle":"إذا كنت ترغب في تشغيل أتمتة على فرع معين، يمكنك تحديد ذلك في الطلب.","settings.automations.delete":"حذف","settings.automations.dialog.editTitle":"تحرير عملية الأتمتة","settings.automations.dialog.newTitle":"عملية أتمتة جديدة","settings.automations.dialog.subtitle":"أتمتة المهام المتكررة في الخلفية؛ حيث يقوم Codex بإضافة النتائج إلى صندوق الوارد، أو أرشفة المهمة تلقائيًا إذا لم يكن هناك ما يستدعي التقرير. <learnMoreLink>تعرف على المزيد</learnMoreLink>","settings.automations.dialog.title":"إنشاء عملية أتمتة","settings.automations.executionCopy.git":"تُنفذ عمليات الأتمتة في الخلفية عبر مساحات عمل موازية مخصصة.","settings.automations.executionCopy.nonGit":"تُنفذ عمليات الأتمتة في المشاريع غير الخاضعة للتحكم بالإصدارات مباشرةً داخل مجلد المشروع. يُرجى النظر في استخدام Git لتمكين تشغيل الأتمتة عبر مساحات عمل موازية في الخلفية.","settings.automations.executionEnvironment.local":"داخليًا","settings.automations.executionEnvironment.worktree":"مساحة العمل الموازية","settings.automations.loading":"جاري التحميل...","settings.automations.nameLabel":"الاسم","settings.automations.namePlaceholder":"التحقق من وجود مشكلات sentry","settings.automations.pause":"إيقاف مؤقت","settings.automations.promptLabel":"أمر","settings.automations.promptPlaceholder":"البحث عن الأعطال في $Sentry","settings.automations.resume":"استئناف","settings.automations.rruleSummaryFallback":"مواعيد مخصصة","settings.automations.runNow":"تجربة","settings.automations.save":"حفظ","settings.automations.scheduleBadge.dayCount":"{count} أيام","settings.automations.scheduleBadge.interval":"{count} ساعات","settings.automations.scheduleBadge.weekdays":"أيام أسبوع","settings.automations.scheduleBadge.weekends":"عطلات نهاية أسبوع","settings.automations.scheduleHeader":"تحديد موعد","settings.automations.scheduleHours":"ساعة","settings.automations.scheduleLabel":"تشغيل كل","settings.automations.scheduleMode.daily":"يوميًا","settings.automations.scheduleMode.interval":"فاصل زمني","settings.automations.scheduleModeLabel":"نوع الجدول الزمني","settings.automations.scheduleSummary.daily":"يوميًا في {time}","settings.automations.scheduleSummary.interval":"كل {count}س","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, zero {# أيام} one {# يوم} two {# أيام} few {# أيام} many {# أيام} other {# أيام}}","settings.automations.scheduleSummary.intervalDays":"{interval} في {days}","settings.automations.scheduleSummary.intervalHourly":"كل ساعة","settings.automations.scheduleSummary.singleDay":"{day} في {time}","settings.automations.scheduleSummary.weekdays":"أيام أسبوع في {time}","settings.automations.scheduleSummary.weekdaysLabel":"أيام أسبوع","settings.automations.scheduleSummary.weekends":"عطلات نهاية أسبوع في {time}","settings.automations.scheduleSummary.weekendsLabel":"عطلات نهاية أسبوع","settings.automations.scheduleSummary.weekly":"{days} في {time}","settings.automations.scheduleWeekdays":"مفعل","settings.automations.weekdayState.excluded":"مُستثنى","settings.automations.weekdayState.included":"مُضمَن","settings.conversationDetail.steps":"الخطوات","settings.conversationDetail.steps.description":"إخفاء الأوامر والمخرجات","settings.conversationDetail.stepsWithCommands":"خطوات مع أوامر أكواد برمجية","settings.conversationDetail.stepsWithCommands.description":"عرض الأوامر، طي المخرجات","settings.conversationDetail.stepsWithOutput":"خطوات مع مخرجات أكواد برمجية","settings.conversationDetail.stepsWithOutput.description":"عرض الأوامر وتوسيع المخرجات","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}، {time} • {repo}","settings.dataControls.archivedChats.empty":"لا توجد دردشات مؤرشفة.","settings.dataControls.archivedChats.error":"تعذر تحميل الدردشات المؤرشفة.","settings.dataControls.archivedChats.loading":"جارٍ تحميل الدردشات المؤرشفة...","settings.dataControls.archivedChats.unarchive":"إلغاء الأرشفة","settings.dataControls.archivedChats.unarchiveError":"تعذر إلغاء أرشفة الدردشة","settings.dataControls.archivedChats.unarchiveSuccess":"سلسلة رسائل غير مؤرشفة. <viewNowLink>شاهد الآن</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"سلسلة رسائل غير مؤرشفة.","settings.dataControls.archivedChats.untitled":"دردشة بدون عنوان","settings.dataControls.archivedChats.viewNow":"عرض الآن","settings.editRow.headerPlaceholder":"مفتاح","settings.editRow.removeEntry":"إزالة الإدخالات","settings.editRow.valuePlaceholder":"القيمة","settings.general.appearance":"المظهر","settings.general.appearance.codeFont":"خط الكود البرمجي","settings.general.appearance.codeFont.description":"اضبط نوع الخط وحجمه المستخدم في الكود البرمجي عبر الدردشات والاختلافات","settings.general.appearance.codeFontFamily":"عائلة خطوط الكود","settings.general.appearance.codeFontSize":"حجم خط التعليمات البرمجية","settings.general.appearance.codeFontSize.units":"بكسل","settings.general.appearance.opaqueWindows.description":"اجعل النوافذ تستخدم خلفية مصمتة بدلاً من الشفافية الخاصة بالنظام.","settings.general.appearance.opaqueWindows.label":"استخدم خلفية نافذة معتمة","settings.general.appearance.sansFontFamily":"عائلة خطوط Sans","settings.general.appearance.sansFontFamily.description":"اضبط الخط المستخدم في واجهة Codex","settings.general.appearance.sansFontSize":"حجم خط Sans","settings.general.appearance.sansFontSize.units":"بكسل","settings.general.appearance.sparkCelebrationEffects.description":"عرض مؤثرات احتفالية بملء الشاشة أثناء تشغيل GPT-5.3-Codex-Spark للدور الأول","settings.general.appearance.sparkCelebrationEffects.label":"تفعيل مؤثرات Spark الاحتفالية.","settings.general.appearance.theme":"المظهر","settings.general.appearance.theme.dark":"داكن","settings.general.appearance.theme.description":"استخدم الوضع الفاتح أو الداكن، أو المطابق لنظامك","settings.general.appearance.theme.light":"فاتح","settings.general.appearance.theme.system":"النظام","settings.general.appearance.usePointerCursors.description":"تغيير شكل المؤشر إلى شكل يد (Pointer) عند تمريره فوق العناصر التفاعلية","settings.general.appearance.usePointerCursors.label":"استخدام مؤشر اليد (Pointer)","settings.general.enterBehavior.description":"عند التفعيل، تتطلب الطلبات متعددة الأسطر الضغط على مفتاحي {modifierSymbol} + enter للإرسال.","settings.general.enterBehavior.label":"يلزم الضغط على مفتاحي {modifierSymbol} و Enter لإرسال طلبات طويلة","settings.general.experimentalFeatures":"الميزات التجريبية (بيتا)","settings.general.experimentalFeatures.empty":"لا تتوفر أي ميزات تجريبية في النسخة التجريبية.","settings.general.experimentalFeatures.loading":"جارٍ تحميل الميزات التجريبية…","settings.general.experimentalFeatures.restartNote":"أعد تشغيل Codex لتطبيق تغييرات الميزات التجريبية","settings.general.experimentalFeatures.toggle":"التغيير لـ {featureName}","settings.general.followUpQueueMode.description":"إضافة المتابعات إلى قائمة الانتظار أثناء تشغيل Codex أو توجيه التشغيل الحالي. اضغط {invertFollowUpShortcutLabel} لتطبيق الخيار المعاكس على رسالة واحدة.","settings.general.followUpQueueMode.interrupt":"توجيه","settings.general.followUpQueueMode.label":"سلوك المتابعة","settings.general.followUpQueueMode.queue":"إضافة إلى قائمة الانتظار","settings.general.notifications":"الإشعارات","settings.general.power.preventSleepWhileRunning.description":"أبقِ جهاز الكمبيوتر قيد التشغيل أثناء تشغيل برنامج Codex لأي عملية.","settings.general.power.preventSleepWhileRunning.label":"منع الدخول في وضع السكون أثناء التشغيل","settings.git.branchPrefix.ariaLabel":"بادئة الفرع","settings.git.branchPrefix.description":"البادئة المستخدمة عند إنشاء فروع جديدة في Codex","settings.git.branchPrefix.label":"بادئة الفرع","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"فشل حفظ بادئة الفرع","settings.git.branchPrefix.save.success":"بادئة الفرع المحفوظة","settings.git.commitInstructions.ariaLabel":"تعليمات التأكيد","settings.git.commitInstructions.description":"تمت إضافتها إلى مطالبات إنشاء رسالة التأكيد","settings.git.commitInstructions.label":"تعليمات التأكيد","settings.git.commitInstructions.placeholder":"أضف إرشادات رسالة التأكيد…","settings.git.commitInstructions.save":"حفظ","settings.git.commitInstructions.save.error":"فشل حفظ تعليمات التأكيد","settings.git.commitInstructions.save.success":"تم حفظ تعليمات التأكيد","settings.git.forcePush.ariaLabel":"إرسال قسري دومًا","settings.git.forcePush.description":"استخدم الخيار --الإجبار على الدفع مع التحقق عند الإرسال من Codex","settings.git.forcePush.label":"إرسال قسري دومًا","settings.git.forcePush.save.disabled":"تم تعطيل خيار الإرسال القسري دومًا","settings.git.forcePush.save.enabled":"تم تمكين خيار الإرسال القسري دومًا","settings.git.forcePush.save.error":"فشل حفظ إعدادات الإرسال القسري","settings.git.prInstructions.ariaLabel":"تعليمات طلبات السحب","settings.git.prInstructions.description":"تمت إضافتها إلى نصوص طلبات السحب التي أنشأها Codex","settings.git.prInstructions.label":"تعليمات طلبات السحب","settings.git.prInstructions.placeholder":"أضف إرشادات طلبات السحب...","settings.git.prInstructions.save":"حفظ","settings.git.prInstructions.save.error":"فشل حفظ تعليمات طلبات السحب","settings.git.prInstructions.save.success":"تم حفظ تعليمات طلبات السحب","settings.ide.defaultOpenTarget.description":"الموقع الافتراضي لفتح الملفات والمجلدات","settings.ide.defaultOpenTarget.label":"الموقع الافتراض للفتح","settings.ide.defaultOpenTarget.placeholder":"لم يتم العثور أهداف","settings.ide.language.auto":"اكتشاف تلقائي","settings.ide.language.autoOption":"اكتشاف تلقائي","settings.ide.language.description":"لغة واجهة التطبيق","settings.ide.language.label":"اللغة","settings.ide.language.search":"بحث في اللغات","settings.layout.actionButton":"إعادة تشغيل المكون الإضافي","settings.layout.actionTitle":"إعدادات مصحوبة بإجراء","settings.layout.fullWidthTitle":"الإعدادات (بعرض كامل)","settings.layout.title":"الإعدادات","settings.localEnvironments.actions.add":"إضافة إجراء","settings.localEnvironments.actions.add.description":"إنشاء أمر جديد للتشغيل من شريط الأدوات.","settings.localEnvironments.actions.add.save":"حفظ","settings.localEnvironments.actions.empty":"إضافة إجراء لتشغيل الأوامر من شريط الأدوات الداخلي.","settings.localEnvironments.actions.icon.debug":"تصحيح الأخطاء","settings.localEnvironments.actions.icon.run":"تنفيذ التعليمات البرمجية","settings.localEnvironments.actions.icon.test":"تجربة","settings.localEnvironments.actions.icon.tool":"أداة","settings.localEnvironments.actions.item.button.delete":"حذف","settings.localEnvironments.actions.item.command":"البرنامج النصي الخاص بالإجراء","settings.localEnvironments.actions.item.name":"الاسم","settings.localEnvironments.actions.item.platforms":"المنصات","settings.localEnvironments.actions.item.platforms.help":"تشغيل الإجراء على نظام تشغيل محدد فقط.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"تحديد المنصة","settings.localEnvironments.actions.item.platforms.specific":"خاص بمنصة معينة","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"حذف","settings.localEnvironments.actions.title":"الإجراءات","settings.localEnvironments.breadcrumb.back":"رجوع","settings.localEnvironments.breadcrumb.edit":"تحرير","settings.localEnvironments.breadcrumb.root":"البيئات","settings.localEnvironments.environment.actions.description":"يمكن لهذه الإجراءات تشغيل أي أمر، وسيتم عرضها في شريط العنوان.","settings.localEnvironments.environment.actionsLabel":"الإجراءات","settings.localEnvironments.environment.create":"إنشاء البيئات الداخلية","settings.localEnvironments.environment.defaultName":"داخليًا","settings.localEnvironments.environment.edit":"تحرير البيئات الداخلية","settings.localEnvironments.environment.empty":"لم يتم إعداد أي بيئة داخلية لهذا المشروع بعد.","settings.localEnvironments.environment.name":"الاسم","settings.localEnvironments.environment.setup":"إعداد البرنامج النصي","settings.localEnvironments.environment.setup.description":"سيتم تشغيل هذا البرنامج النصي عند إنشاء مساحة العمل الموازية.","settings.localEnvironments.environment.setup.hint":"يتم التشغيل في المجلد الرئيسي للمشروع.","settings.localEnvironments.environment.setup.platformOverrides":"تجاوز المنصات","settings.localEnvironments.environment.setup.platformOverrides.add":"إضافة البرنامج النصي لإعداد {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"يتجاوز البرنامج النصي الافتراضي لأنظمة تشغيل محددة.","settings.localEnvironments.environment.setup.platformOverrides.remove":"إزالة","settings.localEnvironments.environment.setup.script":"البرنامج النصي","settings.localEnvironments.environment.title":"تفاصيل البيئة","settings.localEnvironments.file.missing":"قم بالحفظ لإنشاء هذا الملف للمرة الأولى.","settings.localEnvironments.file.parseError":"تعذّر تحليل الملف الحالي. سيؤدي الحفظ إلى استبداله. ({error})","settings.localEnvironments.file.path":"الملف: {path}","settings.localEnvironments.file.readError":"تعذر تحميل بيانات البيئات الداخلية. ({error})","settings.localEnvironments.file.title":"ملف البيئات الداخلية","settings.localEnvironments.loading.body":"استرجاع تكوين المشروع الخاص بك.","settings.localEnvironments.loading.title":"جارٍ تحميل البيئات الداخلية","settings.localEnvironments.preview.devOnly":"(DEV فقط)","settings.localEnvironments.preview.save":"حفظ","settings.localEnvironments.preview.saveError":"تعذر حفظ الملف. ({error})","settings.localEnvironments.preview.title":"معاينة","settings.localEnvironments.save.disabled.name":"إضافة اسم بيئة للحفظ.","settings.localEnvironments.save.disabled.noChanges":"لا توجد تغييرات لحفظها","settings.localEnvironments.save.disabled.saving":"جاري الحفظ...","settings.localEnvironments.save.success":"البيئات الداخلية التي تم حفظها","settings.localEnvironments.unavailable.body":"لم نتمكن من تحميل إعدادات البيئة الداخلية لهذا المشروع.","settings.localEnvironments.unavailable.title":"البيئات الداخلية غير متاحة","settings.localEnvironments.workspace.add":"إضافة مشروع","settings.localEnvironments.workspace.title":"مشروع","settings.localEnvironments.workspaceSelect.addLabel":"إضافة بيئة","settings.localEnvironments.workspaceSelect.description":"توضح البيئات المحلية لـ Codex طريقة إعداد مساحات عمل موازية للمشروع. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"لا توجد مشروعات بعد. أضف واحد لتتمكن من إعداد البيئات الداخلية.","settings.localEnvironments.workspaceSelect.errorLabel":"تحتاج البيئة إلى اهتمام","settings.localEnvironments.workspaceSelect.learnMore":"تعرف على المزيد","settings.localEnvironments.workspaceSelect.listLabel":"المشاريع المتاحة","settings.localEnvironments.workspaceSelect.loading":"تحميل المشروعات","settings.localEnvironments.workspaceSelect.loadingLabel":"تحميل البيئة","settings.localEnvironments.workspaceSelect.title":"تحديد مشروع","settings.localEnvironments.workspaceSelect.viewAction":"عرض","settings.mcp.addServer":"أضف خادم","settings.mcp.app.configure":"تكوين","settings.mcp.app.connect":"ربط","settings.mcp.apps.refresh":"تنشيط","settings.mcp.detail.addArgument":"إضافة معامل","settings.mcp.detail.addEnvVar":"إضافة متغير بيئي","settings.mcp.detail.addEnvVarPassthrough":"إضافة متغير","settings.mcp.detail.args":"المعاملات","settings.mcp.detail.back":"رجوع","settings.mcp.detail.command":"أمر البدء","settings.mcp.detail.cwd":"دليل العمل","settings.mcp.detail.docs":"فتح وثائق MCP","settings.mcp.detail.docs.link":"المستندات","settings.mcp.detail.envVarPassthrough":"تمرير المتغير البيئي","settings.mcp.detail.envVars":"متغيرات البيئة","settings.mcp.detail.http.addEnvHeader":"إضافة متغير","settings.mcp.detail.http.addHeader":"إضافة عنوان","settings.mcp.detail.http.bearerToken":"متغيرات البيئة للرمز المميز للمالك","settings.mcp.detail.http.envHeaders":"عناوين من المتغيرات البيئية","settings.mcp.detail.http.headers":"العناوين","settings.mcp.detail.http.url":"عنوان URL","settings.mcp.detail.name":"الاسم","settings.mcp.detail.save":"حفظ","settings.mcp.detail.switchTransportNotice":"إذا كنت ترغب في تغيير نوع خادم MCP، يرجى إلغاء التثبيت أولاً.","settings.mcp.detail.titleExisting":"تحديث {name} MCP","settings.mcp.detail.titleNew":"الاتصال بخادم MCP مخصص","settings.mcp.detail.transport.http":"HTTP قابل للبث","settings.mcp.detail.transport.stdio":"الإدخال / الإخراج القياسي (STDIO)","settings.mcp.detail.uninstall":"إلغاء التثبيت","settings.mcp.empty":"لا توجد خوادم MCP مخصصة متصلة","settings.mcp.myServers":"خوادم مخصصة","settings.mcp.partnerServer.description.figma":"ارفع جودة التعليمات البرمجية عبر الاستفادة من كامل تفاصيل تصميم Figma","settings.mcp.partnerServer.description.github":"قم بالدمج مع واجهات GitHub API لأتمتة سير العمل واستخراج البيانات","settings.mcp.partnerServer.description.linear":"قم بالدمج مع نظام تتبع المشكلات وإدارة المشروعات الخاص بـ Linear","settings.mcp.partnerServer.description.notion":"قراءة المستندات وتحديث الصفحات وإدارة المهام","settings.mcp.partnerServer.description.playwright":"قم بالدمج مع أتمتة المتصفح لتنفيذ التصميم واختبار واجهة المستخدم.","settings.mcp.partnerServer.install":"تثبيت","settings.mcp.partnerServer.installAndAuthenticate":"التثبيت والمصادقة","settings.mcp.partnerServer.logoAlt":"شعار {label}","settings.mcp.partnerServer.manage":"إدارة","settings.mcp.partnerServer.vendor":"تم الإنشاء بواسطة {vendor}","settings.mcp.recommendedServers":"الخوادم الموصى بها","settings.mcp.restartApp":"إعادة التشغيل","settings.mcp.restartExtension":"إعادة تشغيل المكون الإضافي","settings.mcp.server.enable":"تفعيل","settings.mcp.server.login":"مصادقة","settings.mcp.server.settings":"الإعدادات","settings.multiselect.createOption":'إنشاء "{value}"',"settings.multiselect.removeOption":"إزالة","settings.nav.account":"الحساب","settings.nav.agent":"التكوين","settings.nav.ariaLabel":"الإعدادات","settings.nav.back":"الرجوع إلى التطبيق","settings.nav.data-controls":"سلاسل الرسائل المؤرشفة","settings.nav.environments":"بيئات السحابة","settings.nav.externalTooltip":"[alpha] فتح في المتصفح","settings.nav.general-settings":"عام","settings.nav.git-settings":"Git","settings.nav.local-environments":"البيئات","settings.nav.mcp-settings":"خوادم MCP","settings.nav.notImplemented":"[alpha] غير متاح في الإصدار التجريبي الأولي","settings.nav.personalization":"تخصيص","settings.nav.skills-settings":"المهارات","settings.nav.usage-analytics":"الاستخدام والتحليلات","settings.nav.worktrees":"مساحات العمل الموازية","settings.openSourceLicenses.back":"رجوع","settings.openSourceLicenses.loading":"جاري التحميل...","settings.openSourceLicenses.missing":"لم يتم العثور على إشعارات من جهات خارجية.","settings.openSourceLicenses.notSupported":"غير متاح في المضيف.","settings.openSourceLicenses.rowDescription":"إشعارات الجهات الخارجية للارتباطات المرفقة","settings.openSourceLicenses.rowLabel":"التراخيص مفتوحة المصدر","settings.openSourceLicenses.subtitle":"إشعارات الجهات الخارجية للارتباطات مضمنة في هذا التطبيق","settings.openSourceLicenses.title":"التراخيص مفتوحة المصدر","settings.openSourceLicenses.view":"عرض","settings.personalization.agents.description":"تحرير التعليمات لتخصيص Codex لك. {learnMore}","settings.personalization.agents.learnMore":"تعرف على المزيد","settings.personalization.agents.loadError":"تعذر تحميل ملف agents.md.","settings.personalization.agents.loading":"جاري تحميل ملف agents.md…","settings.personalization.agents.placeholder":"أضف تعليماتك المخصصة...","settings.personalization.agents.retry":"إعادة المحاولة","settings.personalization.agents.save":"حفظ","settings.personalization.agents.save.error":"تعذر حفظ ملف agents.md","settings.personalization.agents.save.success":"تم حفظ ملف agents.md","settings.personalization.agents.title":"التعليمات المخصصة","settings.personalization.personality.description":"اختر النبرة الافتراضية لاستجابات Codex","settings.personalization.personality.label":"شخصية","settings.sample.contentBody":"استخدم هذا المخطط لإنشاء لوحات الإعدادات الخاصة بك مع الحفاظ على تباعد متسق.","settings.sample.contentTitle":"مثال على قسم المحتوى","settings.section.account":"الحساب","settings.section.agent":"التكوين","settings.section.data-controls":"سلاسل الرسائل المؤرشفة","settings.section.environments":"بيئات السحابة","settings.section.external":"يفتح في متصفحك خلال الإصدار التجريبي Alpha","settings.section.general-settings":"عام","settings.section.git-settings":"Git","settings.section.local-environments":"البيئات","settings.section.mcp-settings":"خوادم MCP","settings.section.mcp-settings.docs":"المستندات","settings.section.mcp-settings.subtitle":"ربط أدوات ومصادر بيانات خارجية.","settings.section.personalization":"تخصيص","settings.section.skills-settings":"المهارات","settings.section.unavailable":"غير متاح في الإصدار التجريبي Alpha بعد","settings.section.usage-analytics":"الاستخدام والتحليلات","settings.section.worktrees":"مساحات العمل الموازية","settings.threadDetail.description":"اختر مقدار مخرجات الأوامر التي تريد عرضها في سلاسل الرسائل","settings.threadDetail.label":"تفاصيل سلسلة الرسائل","settings.worktrees.conversation.untitled":"محادثة بدون عنوان","settings.worktrees.delete.error":"فشل حذف مساحة العمل الموازية","settings.worktrees.empty.body":"ستظهر هنا مساحات العمل الموازية التي أنشأها برنامج Codex.","settings.worktrees.empty.title":"لا توجد مساحات عمل موازية حتى الآن","settings.worktrees.error.body":"حدث خطأ ما أثناء تحميل مساحات العمل الموازية.","settings.worktrees.error.retry":"إعادة المحاولة","settings.worktrees.error.title":"تعذر تحميل مساحات العمل الموازية","settings.worktrees.loading.body":"جلب تفاصيل مساحات العمل الموازية","settings.worktrees.loading.title":"تحميل مساحات العمل الموازية","settings.worktrees.repository.loading":"جارٍ تحميل بيانات تعريف قاعدة البيانات…","settings.worktrees.repository.unknown":"قاعدة بيانات غير معروفة","settings.worktrees.row.conversations":"المحادثات","settings.worktrees.row.conversations.empty":"لا توجد محادثات مرتبطة بمساحة العمل الموازية هذه.","settings.worktrees.row.conversations.loading":"جارٍ تحميل المحادثات...","settings.worktrees.row.delete":"حذف","settings.worktrees.row.title":"مساحة العمل الموازية","sidebarElectron.addWorkspaceRoot":"إضافة مشروع جديد","sidebarElectron.archiveThread":"أرشفة سلسلة الرسائل","sidebarElectron.archiveThreadError":"تعذر أرشفة سلسلة الرسائل","sidebarElectron.collapseFolder":"طي المجلد","sidebarElectron.createStableWorktree.dialog.cancel":"إلغاء","sidebarElectron.createStableWorktree.dialog.create":"إنشاء","sidebarElectron.debugNavLink":"تصحيح الأخطاء","sidebarElectron.editWorkspaceRootOptionName":"تحرير الاسم","sidebarElectron.expandFolder":"توسيع المجلد","sidebarElectron.groupByMenu.recency":"قائمة بالتسلسل الزمني","sidebarElectron.groupByMenu.title":"تنظيم","sidebarElectron.groupByMenu.workspace":"بواسطة المشروع","sidebarElectron.inboxRouteNavLink":"التشغيل التلقائي","sidebarElectron.markThreadUnread":"تمييز كغير مقروء","sidebarElectron.missingWorkspaceRoot":"تم حذف مجلد المشروع أو نقله","sidebarElectron.newThread":"سلسلة رسائل جديدة","sidebarElectron.newThreadInGroup":"بدء سلسلة رسائل جديدة في {folder}","sidebarElectron.noRecentThreads":"لا توجد سلاسل رسائل حديثة","sidebarElectron.noTasks":"لا توجد سلاسل رسائل","sidebarElectron.noTasks.start":"إضافة مشروع جديد","sidebarElectron.noTasksWithFilter":"لا توجد سلاسل رسائل تتطابق مع عوامل التصفية","sidebarElectron.pinnedThreads":"سلاسل الرسائل المثبتة","sidebarElectron.recentNavLink":"سلاسل الرسائل","sidebarElectron.recentThreads":"سلاسل الرسائل الحديثة","sidebarElectron.removeWorkspaceRootOption":"إزالة","sidebarElectron.renameThread":"إعادة تسمية سلسلة الرسائل","sidebarElectron.renameThreadDialogAriaLabel":"عنوان سلسلة الرسائل","sidebarElectron.renameThreadDialogCancel":"إلغاء","sidebarElectron.renameThreadDialogPlaceholder":"إضافة عنوان...","sidebarElectron.renameThreadDialogSave":"حفظ","sidebarElectron.renameThreadDialogSubtitle":"اجعله قصيرًا وواضحًا.","sidebarElectron.renameThreadDialogTitle":"إعادة تسمية سلسلة الرسائل","sidebarElectron.renameThreadError":"تعذر إعادة تسمية سلسلة الرسائل","sidebarElectron.renameWorkspaceRootOptionLabel":"اسم المستخدم المعروض","sidebarElectron.showLess":"عرض أقل","sidebarElectron.showMenu.all":"جميع سلاسل الرسائل","sidebarElectron.showMenu.relevant":"ذات صلة","sidebarElectron.showMenu.relevantHint":"إظهار سلاسل الرسائل فقط للفرع الحالي، أو مساحات العمل الموازية، أو سلاسل الرسائل الأخرى التي تتطلب انتباهك.","sidebarElectron.showMenu.title":"إظهار","sidebarElectron.showMenu.tooltip":"تصفية وفرز وتنظيم سلاسل الرسائل","sidebarElectron.showMenu.trigger":"تصفية سلاسل الرسائل في الشريط الجانبي","sidebarElectron.showMore":"عرض المزيد","sidebarElectron.skillsRouteNavLink":"المهارات","sidebarElectron.sortMenu.created":"تم الإنشاء","sidebarElectron.sortMenu.title":"فرز حسب","sidebarElectron.sortMenu.updated":"محدث","sidebarElectron.taskNavigation":"مجلدات الأتمتة","sidebarElectron.tasksInFolder":"عمليات الأتمتة في {folder}","sidebarElectron.workspaceOptions":"إجراءات المشروع لـ {folder}","sidebarElectron.worktreeGroupTooltip":"هذه مساحة عمل موازية git","skills.appsPage.createSkill":"مهارة جديدة","skills.appsPage.empty.skills":"لم يتم العثور على مهارات","skills.appsPage.search.skills":"البحث عن مهارات","skills.appsPage.search.skills.label":"البحث عن مهارات","skills.appsPage.section.installedApps":"تم التثبيت","skills.appsPage.section.skills":"المهارات","skills.appsPage.subheading":"منح Codex قوى خارقة. <link>تعرف على المزيد</link>","skills.appsPage.tab.recommended":"موصى به","skills.appsPage.tab.skills":"المهارات","skills.card.contentsError":"تعذر تحميل محتويات المهارات.","skills.card.disable":"إيقاف","skills.card.disableSuccess":"تم تعطيل مهارة {skillName}","skills.card.disabledBadge":"تم الإيقاف","skills.card.enable":"تفعيل","skills.card.enableSuccess":"تم تمكين مهارة {skillName}","skills.card.loadingContents":"جاري تحميل محتويات المهارات...","skills.card.more":"المزيد من الإجراءات","skills.card.open":"فتح","skills.card.removeFailed":"فشل إلغاء تثبيت المهارة","skills.card.removeSuccess":"تم إلغاء تثبيت مهارة {skillName}","skills.card.toggleEnabledError":"تعذر تحديث المهارات","skills.card.try":"جرب","skills.card.trySkill":"تجربة مهارة","skills.card.uninstall":"إلغاء التثبيت","skills.hero.dotLabel":"انتقل إلى الشريحة {index}","skills.hero.next":"المهارة المميزة التالية","skills.hero.trySkill":"تجربة مهارة","skills.page.createSkill":"مهارة جديدة","skills.page.empty":"لم يتم العثور على مهارات","skills.page.filteredEmpty":"لا توجد مهارات مطابقة لعوامل التصفية الخاصة بك","skills.page.filteredEmptyDescription":"جرب تعديل بحثك أو عوامل تصفية النطاق","skills.page.heading":"المهارات","skills.page.loading":"جاري تحميل المهارات...","skills.page.refreshSkills":"تنشيط","skills.page.refreshSkillsToUseNew":"قم بالتحديث لاستخدام المهارة/المهارات الجديدة","skills.page.search":"البحث عن مهارات","skills.page.search.label":"البحث عن مهارات","skills.page.subheading":"منح Codex قوى خارقة. <link>تعرف على المزيد</link>","skills.preview.copyPrompt":"نسخ الطلب","skills.preview.examplePrompt":"مثال على سؤال","skills.recommended.error":"تعذّر تحميل المهارات الموصى بها","skills.recommended.install":"تثبيت","skills.recommended.installSkill":"تثبيت مهارة","skills.recommended.installSuccess":"{skillName} تم تثبيت المهارة","skills.recommended.installed":"تم التثبيت","skills.scope.admin":"المسؤول","skills.scope.adminInstalled":"تم التثبيت بواسطة المسؤول","skills.scope.builtIn":"النظام","skills.scope.personal":"شخصي","skills.scope.repo":"قاعدة البيانات","skills.scope.system":"النظام","skills.scope.team":"الفريق","skills.scope.user":"المستخدم","skills.section.installed":"تم التثبيت","skills.section.recommended":"موصى به","story.slidingToggle.existing":"الفرع الحالي","story.slidingToggle.fromLocal":"من التعديلات المجلية","story.slidingToggle.new":"جديد","story.slidingToggle.toLocal":"إلى التعديلات المحلية","terminal.close":"إغلاق الوحدة الطرفية","terminal.title":"وحدة طرفية","thinkingShimmer.default":"جاري التفكير","threadEnvIcon.cloudTooltip":"تُجرى هذه المحادثة في Codex Cloud.","threadEnvIcon.localTooltip":"تُجرى هذه المحادثة محليًا.","threadEnvIcon.worktreeTooltip":"تُجرى هذه المحادثة في مساحة عمل موازية محلية لـ Git.","threadHeader.archiveConfirmCancel":"إلغاء","threadHeader.archiveConfirmConfirm":"أرشفة","threadHeader.archiveConfirmSubtitle":"يمكنك العثور عليه لاحقًا في سلاسل الرسائل المؤرشفة.","threadHeader.archiveConfirmTitle":"أرشفة سلسلة الرسائل؟","threadHeader.copyAppLink":"نسخ الرابط العميق","threadHeader.copySessionId":"نسخ معرف الجلسة","threadHeader.copyWorkingDirectory":"نسخ دليل العمل","threadHeader.forkIntoLocal":"تفريع إلى التعديلات الداخلية","threadHeader.forkIntoWorktree":"تفريع إلى مساحة عمل موازية جديدة","threadHeader.forkPendingWorktreePrompt":"قم بإنشاء تفريع من هذه المحادثة في مساحة عمل موازية.","threadHeader.forkPendingWorktreeTitle":"محادثة تم تفريعها","threadHeader.forkThreadError":"تعذر تفريع سلسلة الرسائل","threadHeader.forkThreadRequiresGitRepo":"يتطلّب إجراء تفريع إلى مساحة عمل موازية جديدة وجود قاعدة بيانات git","threadHeader.moreActions":"إجراءات سلسلة الرسائل","threadPage.newThread":"سلسلة رسائل جديدة","threadPage.runAction.changeEnvironment":"تغيير البيئة","threadPage.runAction.dropdown.titleWithEnvironment":"الإجراءات {environmentName}","threadPage.runAction.environmentSelector.label":"اختيار البيئة","threadPage.runAction.label":"تنفيذ التعليمات البرمجية","threadPage.runAction.missing.label":"إعداد إجراء تشغيل","threadPage.runAction.setup.commandLabel":"أمر التنفيذ","threadPage.runAction.setup.description":"أخبر Codex بكيفية تثبيت الارتباطات وبدء تشغيل تطبيقك.","threadPage.runAction.setup.editMore":"إعدادات البيئة","threadPage.runAction.setup.placeholder":"مثال: npm install npm run","threadPage.runAction.setup.submit":"حفظ وتشغيل","threadPage.runAction.setup.title":"تنفيذ التعليمات البرمجية","threadPage.runAction.tooltip.withEnvironment":"الإجراءات {environmentName}","threadPage.toggleDiffPanel":"إظهار لوحة الاختلافات","threadPage.toggleTerminal":"تبديل الوحدة الطرفية","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"فتح مجلد","toolSummaryForCmd.exploredFiles":"<verb>الملفات</verb> المدرجة","toolSummaryForCmd.exploredFilesInPath":"<verb>الملفات </verb>المدرجة في {path}","toolSummaryForCmd.exploringFiles":"<verb>جارٍ إدراج</verb> الملفات","toolSummaryForCmd.exploringFilesInPath":"<verb>جارٍ إدراج</verb> الملفات في {path}","toolSummaryForCmd.ranGenericCommand":"<status>تم تشغيل الأمر</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>تم تشغيل</status> {command}{timer}","toolSummaryForCmd.read":"<verb>تم قراءة </verb>{path}","toolSummaryForCmd.runningGenericCommand":"<status>جارٍ تشغيل الأمر</status>{timer}","toolSummaryForCmd.runningTimer":"لـ {elapsed}","toolSummaryForCmd.searchedFor":"<verb>تم البحث</verb> عن {query}","toolSummaryForCmd.searchedForFiles":"<verb>تم البحث</verb> عن الملفات","toolSummaryForCmd.searchedForInPath":"<verb>تم البحث</verb> عن {query} في {path}","toolSummaryForCmd.searchingFor":"<verb>جارٍ البحث</verb> عن {query}","toolSummaryForCmd.searchingForFiles":"<verb>جارٍ البحث</verb> عن ملفات","toolSummaryForCmd.searchingForInPath":"<verb>جارٍ البحث</verb> عن {query} في {path}","traceRecording.details.noteLabel":"ماذا كنت تفعل عندما حدث هذا؟ (اختياري)","traceRecording.details.notePlaceholder":"انتقلت إلى سلسلة رسائل طويلة، ثم بدّلتُ علامات التبويب بشكل متكرر...","traceRecording.details.submit":"إرسال بيانات التتبع","traceRecording.details.subtitle":"يمكننا إرسال بيانات تتبع ملف التعريف هذا للمساعدة في تشخيص مشكلات الأداء.","traceRecording.details.title":"هل ترغب في إرسال بيانات تتبع ملف التعريف؟","traceRecording.progress.subtitle":"أبقِ برنامج Codex مفتوحًا إلى حين اكتمال هذه العملية.","traceRecording.saving.title":"جارٍ حفظ بيانات التتبع…","traceRecording.startDetails.cancel":"إلغاء","traceRecording.startDetails.submit":"حسنًا، ابدأ التسجيل","traceRecording.startDetails.subtitle":'بعد النقر على "موافق"، قم بتكرار مشكلة الأداء، ثم انقر فوق العلامة الحمراء الظاهرة لإيقاف العملية ومراجعة بيانات التتبع.',"traceRecording.startDetails.title":"كيف يعمل تسجيل التتبع","traceRecording.stopButton.ariaLabel":"إيقاف تسجيل التتبع","traceRecording.upload.successToast":"تم إرسال بيانات تتبع ملف التعريف.","traceRecording.uploading.title":"جارٍ تحميل بيانات التتبع…","wham.diff.addComment":"إضافة تعليق","wham.diff.binaryFile":"الملفات الثنائية غير معروضة","wham.diff.noContent":"لا يوجد محتوى","wham.fileTag.deleted":"تم الحذف","wham.fileTag.new":"جديد","wham.formattedRelativeDateTime.compactDaysAgo":"{value} أيام","wham.formattedRelativeDateTime.compactHoursAgo":"{value} ساعات","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} دقيقة","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} أشهر","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} أسابيع","wham.formattedRelativeDateTime.compactYearsAgo":"{value} سنوات","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"جاري العمل على المهمة الخاصة بك","wham.whamProposedTask.title":"المهمة المقترحة","wham.whamProposedTask.useSuggestion":"استخدم الاقتراح","workspaceRootDialog.addError":"فشل إضافة مشروع","workspaceRootDialog.cancel":"إلغاء","workspaceRootDialog.confirmAdd":"إضافة مشروع","workspaceRootDialog.confirmPick":"استخدام مشروع","workspaceRootDialog.description":"أدخل مسار على {host} لاستخدامه كمشروع.","workspaceRootDialog.pathLabel":"مسار المشروع","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"إضافة مسار مشروع","workspaceRootDialog.title.pick":"استخدام مسار مشروع","worktreeInitV2.cancel":"إلغاء","worktreeInitV2.notification.failedTitle":"فشل إعداد مساحة العمل الموازية","worktreeInitV2.output.empty":"في انتظار النتيجة...","worktreeInitV2.status.error":"فشل إعداد مساحة العمل الموازية.","worktreeInitV2.status.running":"جارٍ إنشاء مساحة العمل الموازية وتشغيل الإعداد.","worktreeInitV2.status.runningFork":"إنشاء مساحة عمل موازية لتفريع هذه المحادثة.","worktreeInitV2.status.success":"مساحة العمل الموازية جاهزة.","worktreeInitV2.title":"جاري إنشاء مساحة العمل الموازية","worktreeInitV2.workLocallyInstead":"العمل داخليًا بدلاً من ذلك","worktreeRestoreBanner.body":"تم حذف مساحة العمل الموازية لسلسة الرسائل لتوفير مساحة على القرص.","worktreeRestoreBanner.missing.body":"لم يعد دليل العمل الخاص بسلسلة الرسائل هذه موجودًا.","worktreeRestoreBanner.missing.title":"دليل العمل الحالي غير متوفر","worktreeRestoreBanner.restore.error":"تعذر استعادة مساحة العمل الموازية: {message}","worktreeRestoreBanner.restore.success":"تم استعادة مساحة العمل الموازية.","worktreeRestoreBanner.restoreCta":"استعادة مساحة العمل الموازية","worktreeRestoreBanner.title":"تم حذف مساحة العمل الموازية"};Object.assign(e,globalThis.codexI18nOverrides?.["ar"]);export{e as default};
 //# sourceMappingURL=ar-4WzgP-hF.js.map
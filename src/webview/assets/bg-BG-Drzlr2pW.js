@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Копиране","app.sidebar.hide":"Скрийте страничния панел","app.sidebar.show":"Покажете страничния панел","app.sidebar.tooltip":"Превключване на страничната лента","appHeader.installUpdate":"Актуализиране","appSunset.body":"Тази версия на апа вече не се поддържа. Моля, изтеглете най-новата версия <here>оттук</here>.","appSunset.title":"Изисква се актуализация","automation.updateDirective.create":"Създаване","automation.updateDirective.open":"Отворено","automation.updateDirective.untitled":"Автоматизация без име","automation.updateDirective.update":"Актуализиране","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# опит} other {# опити}}","cloudTaskRow.archiveError":"Неуспешно архивиране на задача","code.diff.requestChange":"Поискайте промяна","code.diffComment.cancel":"Отмяна","code.diffComment.comment":"Коментар","code.diffComment.delete":"Изтриване","code.diffComment.save":"Запазване","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Не са докладвани находки.","codex.alert.closeAriaLabel":"Затваряне","codex.appUpsellBanner.cbpApi.message":"Създавайте по-бързо с апа Codex. Изтеглете го сега или {learnMoreLink}.","codex.appUpsellBanner.download":"Изтегляне","codex.appUpsellBanner.freeGo.message":"Codex е включен във вашия план до 2 март. Опитайте апа Codex, за да създавате по-бързо.","codex.appUpsellBanner.later":"По късно","codex.appUpsellBanner.learnMoreLowercase":"Научете повече","codex.appUpsellBanner.new":"Нов","codex.appUpsellBanner.proPlusBusiness.message":"Опитайте апа Codex с двойни лимити до 2 април. Изтеглете го сега или {learnMoreLink}.","codex.appUpsellBanner.title":"Апът Codex","codex.applyDropdown.header.changes":"Промени","codex.applyDropdown.header.fileCount":"{count, plural, one {# файл} other {# файлa}}","codex.applyDropdown.header.rows":"реда","codex.applyDropdown.header.title":"Приложете промените","codex.applyDropdown.header.workspace":"Проект","codex.applyDropdown.results.conflicted":"{count, plural, one {1 файл в конфликт:} other {{count} файла в конфликт:}}","codex.applyDropdown.results.empty":"Не са копирани файлове","codex.applyDropdown.results.skipped":"{count, plural, one {1 файл пропуснат:} other {{count} файла пропуснати:}}","codex.applyOrRevertBanner.apply":"Приложи промените","codex.applyOrRevertBanner.applyMessage":"Искате ли да приложите промените и да продължите локално?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Тази задача е създадена в {environment}, затова може да не се приложи коректно.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Промените са направени в {environment}, затова може да не се приложат коректно.","codex.applyOrRevertBanner.reapply":"Приложете отново","codex.applyOrRevertBanner.revert":"Върнете обратно","codex.applyOrRevertBanner.revertMessage":"Искате ли да върнете приложените промени?","codex.applyResultsDialog.applied":"Приложено коректно ({count})","codex.applyResultsDialog.close":"Затваряне","codex.applyResultsDialog.conflicted":"С конфликт ({count})","codex.applyResultsDialog.noDetails":"Няма налични данни за файла.","codex.applyResultsDialog.skipped":"Пропуснато ({count})","codex.applyResultsDialog.title":"Приложете резултатите","codex.archiveInfo":"Вижте архивираните разговори в {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Контрол на данните","codex.archiveInfo.electron":"Прегледайте архивираните разговори в {settingsLink}.","codex.archiveInfo.extension":"Вижте архивираните разговори в папката .codex.","codex.archiveInfo.settingsLink":"Настройки","codex.banner.content.description":"Изпълнявайте задачите паралелно, следете напредъка навсякъде и преглеждайте PR файлове с помощта на ИИ.","codex.banner.content.headline":"Codex върши всичко.","codex.cloudTaskRow.archiveTask":"Архивирайте задачата","codex.cloudTaskRow.confirmArchiveTask":"Потвърждаване","codex.command.feedback":"Отзиви, обратна връзка","codex.command.findInThread":"Търсене","codex.command.forceReloadSkills":"Принудително презареждане на умения","codex.command.logOut":"Излизане от акаунта","codex.command.manageTasks":"Управление на задачи","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Назад","codex.command.navigateForward":"Напред","codex.command.newThread":"Нов разговор","codex.command.nextThread":"Следващ разговор","codex.command.openFolder":"Отворете папка","codex.command.openSkills":"Към модулите","codex.command.openThreadOverlay":"Отворете разговора в нов прозорец","codex.command.personalitySettings":"Личностни характеристики","codex.command.previousThread":"Предишен разговор","codex.command.settings":"Настройки","codex.command.toggleDiffPanel":"Показване или скриване на панела с разлики","codex.command.toggleSidebar":"Превключване на страничната лента","codex.command.toggleTerminal":"Превключете терминала","codex.commandGroup.app":"Ап","codex.commandGroup.configure":"Конфигуриране","codex.commandGroup.navigation":"Навигация","codex.commandGroup.panels":"Секции","codex.commandGroup.skills":"Умения","codex.commandGroup.thread":"Разговор","codex.commandGroup.workspace":"Проект","codex.commandMenu.noResults":"Няма съвпадения","codex.commandMenu.searchPlaceholder":"Търсене на команди","codex.commandMenu.suggestedGroup":"Предложени","codex.commandMenu.switchWorkspace":"Сменете проекта","codex.commandMenu.title":"Меню команди","codex.common.retry":"Опитайте отново","codex.composer.searchBranches":"Търсене на клонове","codex.dialog.basic.body":"Това е примерен диалогов прозорец, създаден чрез нашия компонент за Radix Dialog.","codex.dialog.basic.cancel":"Отмяна","codex.dialog.basic.confirm":"Потвърждаване","codex.dialog.basic.open":"Отворете диалога","codex.dialog.basic.title":"Примерен диалог","codex.dialog.long.close":"Затваряне","codex.dialog.long.line":"Ред за превъртане {index}, който демонстрира дълго съдържание в диалоговия прозорец.","codex.dialog.long.open":"Отворете дълъг диалог","codex.dialog.long.title":"Диалог с дълго съдържание","codex.dialog.unstyled.body":"Тази демонстрация показва как съдържанието на диалоговия прозорец може да се стилизира изцяло","codex.dialog.unstyled.open":"Отворете диалогов прозорец без оформление","codex.dialog.unstyled.title":"Съдържание без оформление","codex.diff.openInEditorPrompt.openButton":"Отворете в редактора","codex.diff.openInEditorPrompt.singleLine":"Този файл е твърде голям, за да се покаже тук.","codex.diffView.failedToDecodeBase64Diff":"Грешка при декодиране на base64 diff.","codex.diffView.filesChanged":"{fileCount, plural, one {# променен файл} other {# променени файлове}}","codex.diffView.imagePreviewAlt":"Преглед на изображението","codex.diffView.imagePreviewEmpty":"Няма изображение","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Няма diff данни","codex.diffView.pdfPreview.nextPage":"Следваща страница","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Предишна страница","codex.diffView.pdfPreviewEmpty":"Няма визуализация на PDF","codex.diffView.pdfPreviewError":"Не може да се визуализира PDF преглед","codex.diffView.richPreviewDisable":"Изключете разширения преглед","codex.diffView.richPreviewEnable":"Включете разширения преглед","codex.diffView.richPreviewLoading":"Зареждане на преглед...","codex.diffView.richPreviewToggle":"Включване/изключване на разширения преглед","codex.diffView.switchToUnified":"Превключете към unified diff","codex.environmentSelector.noEnvironment":"Няма среда","codex.environments.environmentSettings":"Настройки на средата","codex.environments.learnMore":"Научете повече","codex.environments.listError":"Неуспешно зареждане на средите.","codex.environments.noEnvironmentsFound":"Няма намерени среди","codex.environments.searchError":"Грешка при търсене на средите.","codex.errorBoundary.genericError":"Възникна грешка","codex.errorBoundary.goHome":"Опитайте пак","codex.file.patch.missing":"Неуспешно създаване на patch за този файл.","codex.gallery.automations.cwdLabel":"Проекти","codex.gallery.automations.nameLabel":"Име","codex.gallery.automations.namePlaceholder":"Обобщете задачата","codex.gallery.automations.promptLabel":"Подкана","codex.gallery.automations.promptPlaceholder":"Опишете какво трябва да направи Codex","codex.gallery.dialogs.automation.label":"Диалогов прозорец за автоматизация","codex.gallery.dialogs.basic.body":"Използвайте това оформление за бързи потвърждения или кратки формуляри.","codex.gallery.dialogs.basic.cancel":"Отказ","codex.gallery.dialogs.basic.confirm":"Потвърждаване","codex.gallery.dialogs.basic.label":"Основен диалогов прозорец","codex.gallery.dialogs.basic.title":"Основен диалогов прозорец","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Опишете проблема","codex.gallery.dialogs.feedbackSubmission.bad":"Лош резултат","codex.gallery.dialogs.feedbackSubmission.bug":"Грешка/бъг","codex.gallery.dialogs.feedbackSubmission.good":"Добър резултат","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Включете текущите логове от Codex сесията","codex.gallery.dialogs.feedbackSubmission.label":"Изпращане на отзив","codex.gallery.dialogs.feedbackSubmission.other":"Друго","codex.gallery.dialogs.feedbackSubmission.placeholder":"Опишете проблема тук","codex.gallery.dialogs.feedbackSubmission.submit":"Изпратете","codex.gallery.dialogs.feedbackSubmission.title":"Отзиви, обратна връзка","codex.gallery.dialogs.feedbackSuccess.body":"Отзивът е качен. Ако проблемът продължава, отворете сигнал в GitHub или посочете идентификатора на разговора в съществуващ отворен сигнал:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Отхвърлете","codex.gallery.dialogs.feedbackSuccess.label":"Отзивът е изпратен успешно","codex.gallery.dialogs.feedbackSuccess.title":"Обратната връзка е качена","codex.gallery.dialogs.gitApplyResults.applied":"Приложено без конфликти (2)","codex.gallery.dialogs.gitApplyResults.close":"Затваряне","codex.gallery.dialogs.gitApplyResults.conflicted":"С конфликти (1)","codex.gallery.dialogs.gitApplyResults.label":"Приложете резултатите","codex.gallery.dialogs.gitApplyResults.title":"Приложете резултатите","codex.gallery.dialogs.gitPushError.body":"Изтеглете последните промени или изпратете принудително промените, ако знаете, че е безопасно да презапишете историята в отдалеченото хранилище.","codex.gallery.dialogs.gitPushError.cancel":"Отказ","codex.gallery.dialogs.gitPushError.force":"Принудително изпращане на промените","codex.gallery.dialogs.gitPushError.label":"Грешка при изпращане","codex.gallery.dialogs.gitPushError.subtitle":"Вашият клон изостава спрямо origin/main.","codex.gallery.dialogs.gitPushError.title":"Неуспешно изпращане на промените","codex.gallery.dialogs.gitRevert.cancel":"Отказ","codex.gallery.dialogs.gitRevert.confirm":"Върнете обратно","codex.gallery.dialogs.gitRevert.label":"Върнете промените","codex.gallery.dialogs.gitRevert.skip":"Не питайте отново","codex.gallery.dialogs.gitRevert.subtitle":"Това действие премахва всички тези промени.","codex.gallery.dialogs.gitRevert.title":"Да върнем ли промените?","codex.gallery.dialogs.longForm.label":"Диалогов прозорец за дълъг текст","codex.gallery.dialogs.proseModal.body":"Този тип диалогов прозорец се използва за по-дълги инструкции, въвеждане в системата или богати блокове със съдържание.","codex.gallery.dialogs.proseModal.close":"Затваряне","codex.gallery.dialogs.proseModal.subtitle":"Споделете тук по-подробни указания или документация.","codex.gallery.dialogs.proseModal.title":"Текстов диалогов прозорец","codex.gallery.dialogs.submitBlocked.label":"Изпращането е блокирано","codex.gallery.dialogs.submitBlocked.message":"Съобщението ви не можа да бъде изпратено, защото проектът не е наличен.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Неуспешно изпращане на съобщението","codex.gallery.dialogs.title":"Диалогови прозорци","codex.gallery.dropdown.filterPlaceholder":"Филтриране на елементи","codex.gallery.dropdowns.actionRow":"Редове с действия","codex.gallery.dropdowns.actionRow.disabled":"Деактивирано действие","codex.gallery.dropdowns.actionRow.primary":"Основно действие","codex.gallery.dropdowns.actionRow.secondary":"Допълнително действие","codex.gallery.dropdowns.actionRow.trigger":"Покажете действията","codex.gallery.dropdowns.basic":"Основно падащо меню","codex.gallery.dropdowns.basic.newFile":"Нов файл","codex.gallery.dropdowns.basic.newFolder":"Нова папка","codex.gallery.dropdowns.basic.openSettings":"Отворете настройките","codex.gallery.dropdowns.basic.title":"Бързи действия","codex.gallery.dropdowns.basic.trigger":"Отворете менюто","codex.gallery.dropdowns.basic.upload":"Качване","codex.gallery.dropdowns.panel":"Повърхност на панела","codex.gallery.dropdowns.panel.apply":"Приложи промените","codex.gallery.dropdowns.panel.body":"Проверете промените и ги приложете към проекта си","codex.gallery.dropdowns.panel.preview":"Предварителен преглед","codex.gallery.dropdowns.panel.title":"Приложете промените","codex.gallery.dropdowns.panel.trigger":"Отворете панела","codex.gallery.dropdowns.search":"Падащо меню с търсене","codex.gallery.dropdowns.search.first":"Алфа канал","codex.gallery.dropdowns.search.second":"Beta клон","codex.gallery.dropdowns.search.third":"Кандидат за издание","codex.gallery.dropdowns.search.trigger":"Филтриране на елементи","codex.gallery.dropdowns.submenu":"Падащо меню с подменю","codex.gallery.dropdowns.submenu.optionA":"Проект Alpha","codex.gallery.dropdowns.submenu.optionB":"Проект Beta","codex.gallery.dropdowns.submenu.optionC":"Проект Gamma","codex.gallery.dropdowns.submenu.primary":"Задайте собственик","codex.gallery.dropdowns.submenu.secondary":"Преместете в","codex.gallery.dropdowns.submenu.tertiary":"Архивиране","codex.gallery.dropdowns.submenu.trigger":"Изберете действие","codex.gallery.dropdowns.title":"Падащи менюта","codex.gallery.inbox.automations.close":"Затваряне","codex.gallery.inbox.automations.popover.cardTitle":"Управление на автоматизации","codex.gallery.inbox.automations.popover.dialogTitle":"Управление на автоматизации","codex.header.settingsTooltip":"Настройки","codex.hunk.patch.error":"Неуспешно подготвяне ","codex.hunk.patch.missing":"Неуспешно създаване на patch за този hunk.","codex.hunk.patch.partialSuccess":"Частичен успех.","codex.hunk.patch.revertError":"Неуспешно оттегляне от commit","codex.hunk.patch.revertSuccess":"Успешно оттеглен от commit","codex.hunk.patch.success":"Успешно подготвен за commit","codex.legal.autonomy.details":"За повече информация вижте {link}","codex.legal.autonomy.details.link":"Документация на Codex","codex.legal.autonomy.title":"Изберете колко автономност искате да предоставите","codex.legal.backButton":"Назад","codex.legal.cloud.taskOne.meta":"openai/agi · 12 октомври","codex.legal.cloud.taskOne.title":"Обяснете това хранилище така, че нов дизайнер да го разбере","codex.legal.cloud.taskThree.meta":"openai/codex · 8 октомври","codex.legal.cloud.taskThree.stats.negative":"-123*","codex.legal.cloud.taskThree.stats.positive":"+249*","codex.legal.cloud.taskThree.title":"Създайте тема в тъмен режим","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 октомври","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Поправете грешка в процеса на въвеждане","codex.legal.continue.apikey":"Продължете","codex.legal.continueButton":"Напред","codex.legal.copilot.details":"Вашият Copilot план се използва за всички извиквания към моделите, таксуването и лимитите. Използването на Codex разширението е подчинено и на {oaiTos}, и на {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Условия за ползване на GitHub","codex.legal.copilot.oaiTosLink":"Условия за ползване на OpenAI Codex","codex.legal.copilot.title":"Работи чрез GitHub Copilot","codex.legal.mistakes.review":"Прегледайте кода, който генерира, и командите, които изпълнява","codex.legal.mistakes.title":"Codex може да допуска грешки","codex.legal.powered.details":"Използва лимитите на вашия план и {link}","codex.legal.powered.details.link":"Предпочитания за използване на данните ви за обучение","codex.legal.powered.title":"Работи чрез вашия ChatGPT акаунт","codex.legal.step.cloud.subtitle":"Изпращайте задачи към Codex за фоново изпълнение, за да продължите спокойно работата си и да работите по-бързо.","codex.legal.step.cloud.title":"Предайте задачата на Codex в облака","codex.legal.step.intro.subtitle":"Codex навигира, редактира, изпълнява команди и стартира тестове директно във вашето хранилище. Работи чрез вашия ChatGPT акаунт.","codex.legal.step.intro.title":"Codex във вашата IDE","codex.legal.step.todo.subtitle":"Напишете TODO коментар и го преобразувайте в Codex задача с едно щракване.","codex.legal.step.todo.title":"Преобразувайте TODO-та в Codex задачи","codex.legal.todo.heading":"// TODO: implement schema","codex.localConversation.closeImagePreview":"Затворете прегледа на изображението","codex.localConversation.userImageAttachment":"Прикачен файл от потребителя","codex.localTaskRow.archiveTask":"Архивиране на нишката","codex.localTaskRow.awaitingApproval":"Очаква одобрение","codex.localTaskRow.awaitingResponse":"В очакване на отговор","codex.localTaskRow.confirmArchiveTask":"Потвърждаване","codex.loggedOut.apiKeyPrompt.cancel":"Отмяна","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Вземете API ключ","codex.loggedOut.apiKeyPrompt.inputLabel":"Въведете вашия OpenAI API ключ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Облачните задачи са изключени при използване на API ключ","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Облачните задачи са изключени при използване на Copilot и API ключ","codex.loggedOut.signIn":"Впишете се с ChatGPT","codex.loggedOut.signIn.cancel":"Отменете влизането","codex.loggedOut.signInWithCopilot":"Впишете се с GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Използвайте API ключ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Инструмент {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Извикан","codex.mcpTool.collapsedLabel.verb.calling":"Извикване","codex.mcpTool.embeddedResource.contentLabel":"Съдържание","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME тип","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Инструментът не върна съдържание","codex.mcpTool.rawPayloadHeading":"Суров полезен товар за извикване на {server}.{tool} инструмент","codex.menu.recent":"Последни","codex.menu.seeAllHistory":"Вижте цялата хронология","codex.modelCapacityBanner.headline.noReset":"{modelName} е с изчерпан капацитет в момента. Опитайте отново по-късно или започнете нов разговор с друг модел.","codex.modelCapacityBanner.headline.withReset":"{modelName} е с изчерпан капацитет в момента. Опитайте отново след {resetDate} или започнете нов разговор с друг модел.","codex.modelCapacityBanner.title":"Избраният модел е с изчерпан капацитет","codex.patch.change.contentsDeleted":"Съдържанието е изтрито","codex.patch.change.created":"Създадено","codex.patch.change.created-file":"Файлът е създаден","codex.patch.change.creating":"Създаване","codex.patch.change.deleted":"Изтрито","codex.patch.change.deleted-file":"Файлът е изтрит","codex.patch.change.deleting":"Изтриване","codex.patch.change.edited":"Редактирано","codex.patch.change.edited-file":"Редактиран файл","codex.patch.change.editing":"Редактиране","codex.patch.change.noChanges":"Няма промени","codex.patch.change.rejected-add":"Отхвърлено","codex.patch.change.rejected-delete":"Отхвърлено","codex.patch.change.rejected-edit":"Отхвърлено","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} от {total} задачи са изпълнени","codex.plan.todoListCreated":"Списък със задачи, създаден с {total} задачи","codex.profileDropdown.apiKeyAuth":"Вписани сте с API ключ","codex.profileDropdown.codexSettings":"Настройки на Codex","codex.profileDropdown.copilotAuth":"Вписани сте чрез Copilot","codex.profileDropdown.defaultAccountTitle":"Основен акаунт","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter, за да изпращате дълги подсказки","codex.profileDropdown.enterBehaviorError":"Грешка при обновяване на настройката","codex.profileDropdown.getPlus":"Надстройте за по-високи ограничения","codex.profileDropdown.keyboardShortcuts":"Клавиши за пряк път","codex.profileDropdown.language":"Език","codex.profileDropdown.languageDefault":"Автоматично разпознаване","codex.profileDropdown.languageSearchPlaceholder":"Търсене на езици","codex.profileDropdown.languageUpdateError":"Неуспешно актуализиране на езика","codex.profileDropdown.logOut":"Излизане от акаунта","codex.profileDropdown.mcp":"Настройки на MCP","codex.profileDropdown.openConfigToml":"Отворете config.toml","codex.profileDropdown.openConfigToml.wsl":"Отворете config.toml в WSL среда","codex.profileDropdown.openExtensionSettings":"Отворете настройките","codex.profileDropdown.openMcpSettings":"Отворете MCP настройките","codex.profileDropdown.openOnStartup":"Отворете при стартиране","codex.profileDropdown.openOnStartupError":"Грешка при обновяване на настройката","codex.profileDropdown.openSkillsSettings":"Отворете настройките на модулите","codex.profileDropdown.personalAccountTitle":"Личен акаунт","codex.profileDropdown.queueFollowUps":"Поставяне на последващи заявки в опашка","codex.profileDropdown.queueFollowUpsError":"Грешка при обновяване на настройката","codex.profileDropdown.readDocs":"Прочетете документацията","codex.profileDropdown.readSkillsDocs":"Прочетете документацията","codex.profileDropdown.runInWsl":"Стартирайте в WSL","codex.profileDropdown.runInWslError":"Грешка при обновяване на настройката","codex.profileDropdown.runInWslTooltip":"Стартира Codex вътре в WSL. Препоръчително е за по-добра сигурност в sandbox среда и по-висока производителност.","codex.profileDropdown.settings":"IDE настройки","codex.profileDropdown.settingsPage":"Настройки","codex.profileDropdown.signInWithOpenAI":"Впишете се с ChatGPT","codex.profileDropdown.skills":"Настройки на модулите","codex.profileDropdown.switchToCopilotAccount":"Използвайте Copilot акаунт","codex.profileDropdown.switchToOpenAIAccount":"Използвайте OpenAI акаунт","codex.profileDropdown.todoCodelens":"Коригирайте TODO коментарите","codex.profileDropdown.todoCodelensError":"Грешка при обновяване на настройката","codex.profileDropdown.windowsDocumentation":"Документация за Windows","codex.profileFooter.signedInFallback":"Настройки","codex.profileFooter.upgrade":"Обновление","codex.recentTasksMenu.clearSearch":"Изчистете търсенето","codex.recentTasksMenu.cloud":"Облачни задачи","codex.recentTasksMenu.count":"{count, plural, =0 {Няма текущи задачи} one {# текуща задача} other {# задачи в процес на изпълнение}}","codex.recentTasksMenu.empty":"Все още няма нишки","codex.recentTasksMenu.errorCloud":"Грешка при зареждане на задачите.","codex.recentTasksMenu.errorCloud.inline":"Грешка при зареждане на облачните задачи.","codex.recentTasksMenu.filterAll":"Всички","codex.recentTasksMenu.filterCloudTasks":"Филтрирайте облачните задачи","codex.recentTasksMenu.filterTooltip":"Филтрирайте задачите по среда","codex.recentTasksMenu.local":"Локални задачи","codex.recentTasksMenu.recent":"Всички задачи","codex.recentTasksMenu.search":"Търсете скорошните задачи","codex.recentTasksMenu.searchEmpty":"Няма резултат","codex.recentTasksMenu.tooltip":"Хронология на задачата","codex.recentTasksMenu.trigger":"Последни задачи. {count, plural, one {# в процес на изпълнение} other {# в процес на изпълнение}}","codex.remoteConversation.applyDiff.applyCta":"Приложете промените","codex.remoteConversation.applyDiff.dropdownTitle":"Приложете промените в локалния branch","codex.remoteConversation.applyDiff.revertCta":"Върнете промените","codex.remoteConversation.closeImagePreview":"Затворете прегледа на изображението","codex.remoteConversation.codexCloudTask":"Преглеждате  <u>облачна Codex</u> задача ","codex.remoteConversation.errorWithMessage":"Грешка: {message}","codex.remoteConversation.loadingImage":"Зареждане на изображението","codex.remoteConversation.openInWeb":"Отворете в интернет","codex.remoteConversation.streaming":"Първи стъпки","codex.remoteConversation.turnFailed":"Възникна грешка по време на тази задача","codex.remoteConversation.turnTab.loading":"Опит {number}","codex.remoteConversation.turnTab.title":"Опит {number}","codex.remoteConversation.userImageAttachment":"Прикачен файл от потребителя","codex.remoteConversation.viewPreviousTurns":"Отворете в интернет","codex.remoteConversation.viewPreviousTurns.buttonText":"Отворено","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Отворете в интернет","codex.review.copyGitApplyCommand":"Копирайте командата git apply","codex.review.copyGitApplyCommand.toast":"Командата git apply е копирана в клипборда","codex.review.diffTooLarge.description":"Тази разлика е твърде голяма, за да се покаже в прегледа.","codex.review.diffTooLarge.title":"Разликите са твърде големи, за да бъдат показани","codex.review.expandOrCollapseDiffButton.collapse":"Свийте всички разлики","codex.review.expandOrCollapseDiffButton.expand":"Разгънете всички разлики","codex.review.expandOrCollapseDiffMenu.collapse":"Свийте всички разлики","codex.review.expandOrCollapseDiffMenu.expand":"Разгънете всички разлики","codex.review.fileSearch.clear":"Изчистете филтъра за файлове","codex.review.fileSearch.empty":"Няма файлове, които отговарят на текущия филтър.","codex.review.fileSearch.label":"Филтър за файлове","codex.review.fileSearch.placeholder":"Филтър за файлове…","codex.review.filesChanged":"{num, plural, =0 {Няма променени файлове} one {# файл е променен} other {# файла са променени}}","codex.review.find.loadMore":"Заредете още съвпадения","codex.review.fullReview.hideFileTree":"Скрийте списъка с файловете","codex.review.fullReview.showFileTree":"Покажете списъка с файловете","codex.review.header.moreOptions":"Опции за преглед","codex.review.largeDiff.banner":"Открита е голяма разлика. Показва се по един файл наведнъж.","codex.review.loadFullFiles.disable":"Не зареждайте пълните файлове","codex.review.loadFullFiles.enable":"Заредете пълните файлове","codex.review.noDiff":"Промените по файловете ще се покажат тук","codex.review.noDiff.gitInit.createRepository":"Създайте git хранилище","codex.review.noDiff.gitInit.creating":"Създаване...","codex.review.noDiff.gitInit.error":"Неуспешно инициализиране на Git: {message}","codex.review.noDiff.gitInit.success":"Git хранилището е създадено","codex.review.noDiff.gitRepoRequired.description":"Проследявайте и отменяйте промените в този проект","codex.review.noDiff.gitRepoRequired.title":"Създайте Git хранилище","codex.review.noDiff.orNoLongerAvailable":"или последните разлики вече не са налични","codex.review.noDiff.reverted":"Последната стъпка е върната","codex.review.noDiff.revertedOrCommitted":"Последната стъпка е била върната или записана","codex.review.refreshGitQueries":"Опресняване","codex.review.revert.file.error":"Неуспешно връщане на {path}","codex.review.revert.file.partialSuccess":"Частично върнат {path}","codex.review.revert.file.success":"Върнат {path}","codex.review.revert.hunk.error":"Неуспешно връщане на част {hunkNumber}  в {path}","codex.review.revert.hunk.partialSuccess":"Частично върната част {hunkNumber} в {path}","codex.review.revert.hunk.success":"Върната част {hunkNumber} in {path}","codex.review.revert.section.error":"Неуспешно връщане на секция","codex.review.revert.section.partialSuccess":"Секцията е частично върната","codex.review.revert.section.success":"Секцията е върната","codex.review.revertDialog.cancel":"Отказ","codex.review.revertDialog.confirm":"Потвърждаване","codex.review.revertDialog.message":"Това действие премахва всички тези промени.","codex.review.revertDialog.skip":"Не питайте отново","codex.review.revertDialog.title":"Да върнем ли промените?","codex.review.richPreview.disable":"Изключете разширения преглед","codex.review.richPreview.enable":"Включете разширения преглед","codex.review.source.cloud":"Промени в облака","codex.review.source.local.all":"Всички промени по клоновете","codex.review.source.local.lastTurn":"Промени от последния ход","codex.review.source.local.uncommitted":"Незаписани промени","codex.review.source.worktree":"Незаписани промени във worktree","codex.review.stageFilter.empty.staged.description":"Приемете редакциите и ги подгответе за запис","codex.review.stageFilter.empty.staged.title":"Няма подготвени промени","codex.review.stageFilter.empty.unstaged.description":"Тук ще се показват промените в кода","codex.review.stageFilter.empty.unstaged.title":"Няма неподготвени промени","codex.review.stageFilter.staged":"Подготвени за commit","codex.review.stageFilter.staged.count":"Подготвени за commit · {count}","codex.review.stageFilter.unstaged":"Неподготвени за commit","codex.review.stageFilter.unstaged.count":"Неподготвени за commit · {count}","codex.review.switchToSplit":"Преминете към разделен diff изглед","codex.review.switchToUnified":"Превключете към unified diff","codex.review.toggleDiffView":"Превключване на diff изгледа","codex.review.wordDiffs.disable":"Изключете разликите по думи","codex.review.wordDiffs.enable":"Включете разликите по думи","codex.review.wrap.disable":"Изключете пренасянето на редове","codex.review.wrap.enable":"Включете пренасянето на редове","codex.section.patch.missing":"Неуспешно създаване на patch за тази секция.","codex.shell.collapse":"Свийте shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Shell съдържанието е копирано","codex.shell.copy.copyTooltip":"Копирайте shell съдържанието","codex.shell.copyCommand":"Копирайте командата","codex.shell.copyOutput":"Копирайте изхода","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Разгънете shell","codex.shell.name":"Shell","codex.shell.noOutput":"Няма изход","codex.signInFailed.message":"Неуспешно влизане: {rawMessage}","codex.stories.toast.show":"Показване на Toast","codex.stories.tooltip.basic":"Това е пояснение (tooltip)","codex.stories.tooltip.hoverMe":"Задръжте курсора върху мен","codex.stories.tooltip.largerOffset":"Този tooltip има по-голям отстъп","codex.stories.tooltip.offsetButton":"По-голямо изместване на tooltip-а","codex.stories.tooltip.shortcutButton":"С клавишна комбинация","codex.stories.tooltip.withShortcut":"Превключете терминала","codex.taskRow.title":"Нов разговор","codex.taskRowLayout.confirm":"Потвърждаване","codex.threadFindBar.chatFilter":"Търсене в чатове","codex.threadFindBar.close":"Затваряне на търсенето","codex.threadFindBar.diffFilter":"Търсене в разликите","codex.threadFindBar.label":"Търсене в разговора","codex.threadFindBar.nextResult":"Следващ резултат","codex.threadFindBar.noResults":"0 резултати","codex.threadFindBar.placeholder":"Търсене в разговора…","codex.threadFindBar.placeholder.extension":"Търсене в разговора…","codex.threadFindBar.placeholder.review":"Търсене в разликите...","codex.threadFindBar.placeholder.review.extension":"Търсене в разликите...","codex.threadFindBar.previousResult":"Предишен резултат","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# файл е променен} other {# файла са променени}}","codex.unifiedDiff.inlineLargeFile":"Твърде голямо за показване директно","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Отменете","codex.unifiedDiff.revertPatchError":"Грешка при връщане на промените","codex.unifiedDiff.revertPatchSuccess":"Промените са върнати","codex.unifiedDiff.reviewChangesSuffix":"промени","codex.unifiedDiff.reviewShort":"Преглед","codex.unifiedDiff.viewDiffTooltip":"Преглед","codex.upsellBanner.business.headline":"За да получите повече достъп още сега, изпратете заявка до вашия администратор или изчакайте до {resetDate}.","codex.upsellBanner.cbp.headline":"За да получите по-голям достъп сега, изпратете заявка до своя администратор.","codex.upsellBanner.cta.addCredits":"Добавяне на кредити","codex.upsellBanner.cta.upgradeAccount":"Обновление","codex.upsellBanner.cta.viewUsage":"Преглед на използването","codex.upsellBanner.free.trialHeadline":"Лимитът ви за заявки се нулира на {resetDate}. За да продължите да използвате Codex и да получите достъп до GPT-5.3-Codex, започнете безплатния си пробен период на Plus още днес.","codex.upsellBanner.freeOrGo.headline":"Лимитът на заявките ви се нулира на {resetDate}. За да продължите да използвате Codex, надградете до Plus още днес.","codex.upsellBanner.general.headline":"Лимитът на заявките ви се нулира на {resetDate}.","codex.upsellBanner.general.title":"Изчерпахте съобщенията в Codex.","codex.upsellBanner.go.trialHeadline":"Лимитът ви за заявки се нулира на {resetDate}. За да продължите да използвате Codex, стартирайте безплатния пробен период на Plus още днес.","codex.upsellBanner.plus.headline":"Лимитът ви се нулира на {resetDate}. За да продължите да използвате Codex, добавете кредити или надстройте до Pro още днес.","codex.upsellBanner.pro.headline":"Лимитът ви се нулира на {resetDate}. Добавете кредити, за да продължите да използвате Codex сега.","codex.userMessage.autoResolveSync":"Автоматично разрешаване на конфликти","codex.userMessage.commentCount":"{count, plural, one {# коментар} other {# коментара}}","codex.userMessage.copiedAriaLabel":"Копирано","codex.userMessage.copiedTooltip":"Копирано","codex.userMessage.copyAriaLabel":"Копиране на съобщение","codex.userMessage.copyTooltip":"Копиране","codex.userMessage.implementPlan":"План за изпълнение","codex.userMessage.noContent":"(Няма съдържание)","codex.userMessage.priorConversation":"Позовава се на предишен разговор","codex.userMessage.reviewMode":"Режим за преглед","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"за {query}","codex.webSearch.summary.verb.completed":"Потърсено в интернет","codex.webSearch.summary.verb.inProgress":"Търсене в интернет","codex.windowsInstallWslBanner.dismiss":"Отхвърлете","codex.windowsInstallWslBanner.installWslCta":"Активирайте средата sandbox","codex.windowsInstallWslBanner.learnMore":"Научете повече","codex.windowsSandboxBanner.content":"Режимът „Агент“ използва експериментална sandbox среда в Windows, за да ограничи достъпа до файловата система и мрежата. {sandboxLink}","codex.windowsSandboxBanner.title":"Активирайте средата sandbox за режим „Агент“.","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Настройки на Windows","codexUpgradeModal.body":"Най-новият ни от нов клас модел с агент за програмиране - по-интелигентен, по-бърз и с по-широки възможности за обща техническа работа. {link}","codexUpgradeModal.close":"Затваряне","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Научете повече","codexUpgradeModal.title":"Представяме GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Изпробвайте GPT-5.3-Codex сега","codexUpgradeModal.useExistingModel":"Продължете с текущия модел","commentAttachments.numComments":"{count, plural, one {# коментар} other {# коментара}}","commentAttachments.removeAriaLabel":"Премахнете прикачения файл към коментарите","common.close":"Затваряне","composer.addContext.openFilePickerError":"Неуспешно отваряне на прозореца за избор на файл","composer.addContextDropdown.ariaLabel":"Добавяне на файлове и др.","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Добавяне на файлове и др.","composer.addPhotosAndFiles":"Добавяне на снимки и файлове","composer.atMentionList.emptyQuery":"Въведете текст, за да търсите файлове","composer.atMentionList.loading":"Търсене...","composer.atMentionList.noResults":"Няма резултати","composer.attemptsSelector.option":"{count, plural, one {# версия} other {# версии}}","composer.attemptsSelector.tooltip":"Брой паралелни опити, които Codex да извърши","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Стоп","composer.cloudFollowUp.cloud":"Облак","composer.cloudFollowUp.local":"Локално","composer.cloudFollowUp.whereRun":"Къде трябва да се изпълни този последващ етап?","composer.cloudTaskCreationError":"Грешка при създаване на облачна задача","composer.cloudTaskError":"Грешка при създаване на задача","composer.contextWindow.autoCompactionTooltipLine1":"Codex автоматично съкращава контекста си","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Контекстен прозорец:","composer.contextWindowUsageStatusFull":"{usage}% запълнена","composer.contextWindowUsageStatusLeft":"{usage}% използвани ({remaining}% остават)","composer.contextWindowUsageTooltip":"{usedTokens} k / {contextWindow} k използвани tokens","composer.customCliTooltip":"Използване на персонализиран изпълним файл за команден ред (CLI)","composer.dictation.aria":"Диктувайте","composer.dictation.cancel.aria":"Спри диктуването","composer.dictation.cancel.tooltip":"Спри диктуването","composer.dictation.startError":"Неуспешно стартиране на диктовката","composer.dictation.submit.aria":"Транскрибирайте и изпратете","composer.dictation.submit.tooltip":"Транскрибирайте и изпратете","composer.dictation.tooltip":"Задръжте, за да диктувате","composer.dictation.transcribeError":"Неуспешна транскрипция на аудиото","composer.dictation.unsupported":"Диктовката не е налична на това устройство","composer.dropOverlay.holdShift":"Задръжте {key}, за да пуснете","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Създаване на нов","composer.environmentSelector.error":"Грешка при зареждане на средите","composer.environmentSelector.goBack":"Назад към съставяне на съобщението","composer.environmentSelector.title":"Изберете среда","composer.environmentSelector.tooltip":"Изберете облачна среда","composer.feedbackSlashCommand.title":"Отзиви, обратна връзка","composer.filePicker.selectFile":"Изберете файл","composer.filePicker.selectFiles":"Изберете файлове","composer.followerTooltip":"За да продължите, върнете се в прозореца, от който започна разговорът.","composer.footer.branchSwitch.checkoutError":"Неуспешно превключване на branch: {message}","composer.footer.branchSwitch.createAndCheckout":"Създаване и преминаване към нов branch…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Направете commit, за да се създаде и използва нов branch","composer.footer.branchSwitch.createBranchError":"Неуспешно създаване на branch: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Име на клон","composer.footer.branchSwitch.createDialog.branchExistsError":"Branch с това име вече съществува.","composer.footer.branchSwitch.createDialog.close":"Затваряне","composer.footer.branchSwitch.createDialog.createAndCheckout":"Създаване и преминаване","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Създаване и преминаване към branch","composer.footer.branchSwitch.createDialog.trailingSlashError":"Името на branch не може да завършва  с(ъс) „/“.","composer.footer.branchSwitch.tooltip":"Превключване на branch","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Запишете промените в {fileCount, plural, one {# файл} other {# файлa}}, за да преминете към {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"промени в {fileCount, plural, one {# файл} other {# файлa}}, за да преминете към {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Отказ","composer.footer.branchSwitch.uncommittedDialog.commit":"Commit и превключване на branch…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Вашите промени по следните файлове ще бъдат презаписани при превключване:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Моля, направете commit на промените си, за да продължите","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"избраният branch","composer.footer.branchSwitch.uncommittedDialog.title":"Commit на промените за превключване на branch","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Без commit: {fileCount, plural, one {# файл} other {# файлa}}","composer.forkSlashCommand.description":"Разклонете този разговор в локален или нов worktree","composer.forkSlashCommand.option.local.description":"Продължете в нов локален разговор","composer.forkSlashCommand.option.local.title":"Разклонете в локален","composer.forkSlashCommand.option.worktree.description":"Продължете в нов worktree","composer.forkSlashCommand.option.worktree.title":"Разклонете в нов worktree","composer.forkSlashCommand.title":"Разклонете","composer.ideContextIndicator":"Контекст на средата за разработка (IDE)","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Включете контекст от средата за разработка","composer.ideContextIndicator.tooltipToggle":"за превключване","composer.ideContextSlashCommand.disableDescription":"Изключете контекста от средата за разработка","composer.ideContextSlashCommand.enableDescription":"Включете текущия избор, отворените файлове и друг контекст от средата за разработка","composer.ideContextSlashCommand.title":"Контекст на средата за разработка (IDE)","composer.imageInputsUnsupported":"Този модел не поддържа входящи изображения. Опитайте с друг модел.","composer.imageUploadFailed":"Грешка при качване на изображението","composer.includeIdeContextDropdown":"Включете контекст от средата за разработка (IDE)","composer.includeIdeContextDropdown.ariaLabel":"Включете контекст от средата за разработка (IDE)","composer.localCwdDropdown.addWorkspaceRoot":"Добавете нов проект","composer.localCwdDropdown.noActiveRoot":"Изберете проект","composer.localCwdDropdown.noResults":"Не са намерени папки","composer.localCwdDropdown.title":"Изберете проект","composer.localTaskError":"Грешка при стартиране на разговора","composer.mcpSlashCommand.description":"Показване на статус на MCP сървър","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Не е удостоверен","composer.mcpStatus.authOauth":"Удостоверен (OAuth)","composer.mcpStatus.authToken":"Удостоверен (API ключ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Затваряне","composer.mcpStatus.disabled":"Деактивиран","composer.mcpStatus.emptyLabel":"Сървъри:","composer.mcpStatus.emptyValue":"Не са конфигурирани MCP сървъри","composer.mcpStatus.enabled":"Активиран","composer.mcpStatus.errorLabel":"Статус:","composer.mcpStatus.errorValue":"Не може да се зареди статус на MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Превключете режима","composer.mode.agentMode.custom":"Персонализирани","composer.mode.agentMode.custom.dropdownLabel":"Персонализирани","composer.mode.agentMode.custom.option":"Персонализирано (config.toml)","composer.mode.agentMode.custom.optionLabel":"Персонализирано (config.toml)","composer.mode.agentMode.customInfo.cancel":"Отмяна","composer.mode.agentMode.customInfo.cli":"Можете да коригирате тези настройки чрез CLI или като редактирате файла директно.","composer.mode.agentMode.customInfo.confirm":"Използвайте персонализиран режим","composer.mode.agentMode.customInfo.description":"Персонализираният режим прилага правилата за одобрение и sandbox политиките, дефинирани във вашия<link>config.toml</link>файл.","composer.mode.agentMode.customInfo.docs":"Научете повече за конфигурирането на правилата за одобрение и sandbox политиките в<link>документацията за изпълнителната среда</link>.","composer.mode.agentMode.customInfo.refresh":"Всички промени влизат в сила при следващото стартиране на агента.","composer.mode.agentMode.customInfo.title":"Как работи персонализираният режим","composer.mode.agentMode.fullAccess":"Agent (пълен достъп)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (пълен достъп)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (пълен достъп)","composer.mode.agentMode.fullAccessConfirm.caution":"Бъдете внимателни при включване на пълен достъп. Това значително увеличава риска от загуба на данни, изтичане или неочаквано поведение.","composer.mode.agentMode.fullAccessConfirm.confirm":"Да, продължете въпреки това","composer.mode.agentMode.fullAccessConfirm.description":"Когато Codex работи с пълен достъп, може да редактира всеки файл на вашия компютър и да изпълнява команди с достъп до мрежата без ваше одобрение.","composer.mode.agentMode.fullAccessConfirm.goBack":"Отмяна","composer.mode.agentMode.fullAccessConfirm.title":"Да се включи ли пълният достъп?","composer.mode.agentMode.readOnly":"Чат","composer.mode.agentMode.readOnly.dropdownLabel":"Чат","composer.mode.agentMode.readOnly.optionLabel":"Чат","composer.mode.agentMode.tooltip":"Превключете режима","composer.mode.agentMode.tooltip.auto":"Четете и редактирайте файлове и изпълнявайте команди.","composer.mode.agentMode.tooltip.custom":"Използвайте най-новите правила за одобрение и sandbox политики от config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex може да редактира файлове извън проекта и да изпълнява команди с достъп до мрежата. Използвайте с повишено внимание.","composer.mode.agentMode.tooltip.readOnly":"Изисква одобрение за редактиране на файлове и изпълнение на команди.","composer.mode.cloud.tooltip":"Работа в облачна среда","composer.mode.contactAdmin":"За да получите повече достъп, свържете се с вашия администратор","composer.mode.local":"Локално","composer.mode.local.learnMore":"Научете повече","composer.mode.local.model.custom":"Потребителска настройка","composer.mode.local.model.loadingModel":"Зареждане на модела","composer.mode.local.model.selecrReasoningEffort":"Изберете режим на разсъждаване","composer.mode.local.model.selectModel":"Изберете модел","composer.mode.local.model.tooltip":"Изберете модел","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Високо ниво","composer.mode.local.reasoning.low.label":"Ниско ниво","composer.mode.local.reasoning.medium.label":"Умерено ниво","composer.mode.local.reasoning.minimal.label":"Минимален","composer.mode.local.reasoning.none.label":"Нито едно","composer.mode.local.reasoning.xhigh.label":"Много високо","composer.mode.localRemoteWhereRun":"Изберете къде да се изпълни задачата","composer.mode.newTask.header":"Продължи в","composer.mode.rateLimit.day":"{days}дни","composer.mode.rateLimit.heading":"Оставащи лимити","composer.mode.rateLimit.hour":"{hours}час(а)","composer.mode.rateLimit.minute":"{minutes}мин.","composer.mode.rateLimit.modelSectionLabel":"Лимит за {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {седмичен лимит} other {{weeks} -седмичен лимит}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Всяка седмица} other {{weeks} -седмичен}}","composer.mode.remote.connectToCloud":"Свържете Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Настройте среда чрез Codex web, за да можете да изпращате задачи към облака","composer.mode.remote.selectEnvironment":"Изберете среда","composer.mode.remote.sendToCloud":"Изпратете в облака","composer.mode.remote.setupViaWeb":"Настройване на среда чрез Codex web","composer.mode.runInCloud":"Облак","composer.mode.runInCloudWithEnvironment":"Облак · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Работа в облачна среда","composer.mode.segmentedToggle.local.tooltip":"Работете по локалния си проект","composer.mode.segmentedToggle.worktree.tooltip":"Работа в паралелно worktree","composer.mode.upgradeToPlus":"Подобрете до Plus","composer.mode.upgradeToPro":"Надградете до Pro","composer.mode.workLocally":"Локален проект","composer.mode.workLocally.currentBranchFallback":"вашия branch","composer.mode.workLocally.tooltip":"Работа по {branchName}","composer.mode.worktree":"Ново worktree ","composer.mode.worktree.submoduleWarning":"Това хранилище съдържа git подмодули. Създаването на worktree може да е неуспешно","composer.mode.worktree.tooltip":"Създайте копие на локалния си проект за паралелна работа","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Смяната на модела по време на разговор ще влоши производителността.","composer.newChat.heading.browser":"Какво да кодираме след това?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex използва разрешенията, дефинирани в config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex има пълен достъп до компютъра Ви (повишен риск).","composer.permissionsDropdown.custom.label":"Персонализирано (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Персонализирано (config.toml)","composer.permissionsDropdown.default.label":"Разрешения по подразбиране","composer.permissionsDropdown.default.optionLabel":"Разрешения по подразбиране","composer.permissionsDropdown.default.tooltip":"Codex автоматично изпълнява команди в среда sandbox.","composer.permissionsDropdown.disabled.requirements":"Разрешенията са заключени от requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Пълният достъп е изключен от requirements.toml","composer.permissionsDropdown.fullAccess.label":"Пълен достъп","composer.permissionsDropdown.fullAccess.optionLabel":"Пълен достъп","composer.permissionsDropdown.trigger.tooltip":"Променете разрешенията","composer.personalitySlashCommand.description.friendly":"Топъл, приятелски и полезен","composer.personalitySlashCommand.description.pragmatic":"Кратък, ориентиран към задачите и ясен","composer.personalitySlashCommand.label.friendly":"Дружелюбен","composer.personalitySlashCommand.label.pragmatic":"Прагматичен","composer.personalitySlashCommand.notApplicableSuffix":"(Не се прилага за текущия модел)","composer.personalitySlashCommand.title":"Личностни характеристики","composer.placeholder.cloudFollowUp.directFollowUp":"Проследяване на тази cloud задача","composer.placeholder.cloudFollowUp.local":"Създайте нова локална задача, свързана с тази cloud задача","composer.placeholder.cloudFollowUp.workingTree":"Създайте нова cloud задача, която включва текущия ви код и ще е свързана с тази задача","composer.placeholder.localFollowUp.cloud":"Проследяване в нова cloud задача","composer.placeholder.localFollowUp.locally":"Поискайте промени за последващите действия","composer.placeholder.newTask.cloud":"Поискайте Codex да изпълни нещо в облака","composer.placeholder.newTask.doAnything":"Поискайте от Codex да направи нещо","composer.placeholder.newTask.locally":"Попитайте Codex за всичко, използвайте @ за добавяне на файлове и / за команди","composer.planModeDropdown":"Режим „План“","composer.planModeDropdown.ariaLabel":"Режим „План“","composer.planModeIndicator":"План","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Създайте план с Codex","composer.planModeIndicator.tooltipToggle":"за превключване","composer.planSlashCommand.disableDescription":"Изключете режим „План“","composer.planSlashCommand.enableDescription":"Включете режим „План“","composer.planSlashCommand.title":"Режим „План“","composer.priorContext.label":"Предишен контекст","composer.priorContext.removeAriaLabel":"Премахване на предишния контекст","composer.queuedMessage.delete":"Изтриване на съобщение на опашката","composer.queuedMessage.edit":"Редактирайте съобщението","composer.queuedMessage.more":"Действия за съобщението на опашката","composer.queuedMessage.sendNow":"Насочване","composer.queuedMessage.sendNowTooltip":"Изпратете веднага, без да прекъсвате работата","composer.queuedMessage.turnOff":"Изключване на подреждането на опашка","composer.reasoningEffort.local.reasoning.tooltip":"Изберете ниво на разсъждаване","composer.remote.branchStartingPoint":"От кой клон да започне тази задача?","composer.remote.branchesSectionHeading":"Клонове","composer.remote.currentEditsSuffix.followUp":"Създайте нова задача, която препраща към тази облачна задача.","composer.remote.currentEditsSuffix.useLocal":"с локални промени по кода  ","composer.remote.directFollowUp":"Не използвайте локалните промени","composer.remote.errorLoadingBranches":"Грешка при зареждане на клоновете","composer.remote.fromBranch":"От {branch}","composer.remote.fromCurrentBranch":"От {branch} (текущ)","composer.remote.loadingMoreBranches":"Зареждане…","composer.remote.localFileStateHeading":"Състояние на локалния файл  ","composer.remote.localWorkingTree":"Използвайте локалните промени","composer.remote.startingPoint":"От кой код да започне тази задача?","composer.reviewMode.branches.error":"Неуспешно зареждане на клоновете","composer.reviewMode.branches.retry":"Опитайте отново","composer.reviewMode.gitRoot.error":"Git root не е намерен","composer.reviewMode.option.baseBranch.simple":"Преглед спрямо основен клон","composer.reviewMode.option.unstaged.simple":"Преглед на непотвърдените промени","composer.reviewMode.quickReviewError":"Грешка при стартиране на code review","composer.reviewMode.title":"Преглед на кода","composer.sandboxButton.unlock.disabled.tooltip":"Пълният достъп е изключен от requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex може да използва експериментална среда sandbox в Windows, за да ограничи достъпа до файловата система и мрежата. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Да се активира ли средата sandbox в Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Само за четене","composer.searchEnvironments":"Търсене на среди","composer.skillMentionList.app":"Ап","composer.skillMentionList.loading":"Зареждане на модули…","composer.skillMentionList.noResults":"Няма намерени модули","composer.slashCommands.cloudEnvironment.title":"Облачна среда","composer.slashCommands.dialogLabel":"Меню за slash команди","composer.slashCommands.dialogTitle":"Slash команди","composer.slashCommands.disabledTooltip":"Започнете нов разговор, за да използвате slash команди","composer.slashCommands.inputPlaceholder":"Търсене","composer.slashCommands.noResults":"Няма команди","composer.slashCommands.skillsGroup":"Умения","composer.slashCommands.tooltip":"Прегледайте slash командите","composer.status.close":"Затваряне","composer.statusPlain.alertLabel":"Предупреждение:","composer.statusPlain.alertValue":"{remaining}% остава от {window}","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} използвани / {total})","composer.statusPlain.contextValueRemaining":"Остава {remaining}%","composer.statusPlain.heading":"Статус","composer.statusPlain.modelRateLimitSectionLabel":"Лимит за {modelName}:","composer.statusPlain.rateLimitDays":"{count} дневен лимит","composer.statusPlain.rateLimitFallbackLabel":"Ограничение на честотата:","composer.statusPlain.rateLimitHours":"{count} часов лимит","composer.statusPlain.rateLimitLabelBase":"Ограничение на честотата","composer.statusPlain.rateLimitMinutes":"{count} минутен лимит","composer.statusPlain.rateLimitPercent":"Остава {remaining}%","composer.statusPlain.rateLimitReset":"Нулирания {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"времето за нулиране не е налично","composer.statusPlain.rateLimitUnavailable":"Недостъпен","composer.statusPlain.sessionCopiedAriaLabel":"Копиране на сесия ID","composer.statusPlain.sessionCopiedTooltip":"Копирано ID","composer.statusPlain.sessionCopyAriaLabel":"Копиране на сесия ID","composer.statusPlain.sessionCopyTooltip":"Копирайте ID","composer.statusPlain.sessionLabel":"Сесия:","composer.statusSlashCommand.description":"Покажете ID на нишката, използването на контекст и ограниченията на честотата","composer.statusSlashCommand.title":"Статус","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Неуспешно изпращане на съобщението","composer.submit.emptyMessage":"Въведете съобщение, за да започнете","composer.submit.imageInputsUnsupported":"Премахнете изображенията или сменете модела, за да изпратите това съобщение.","composer.submit.loadingLocalConfig":"Зареждане…","composer.submit.missingCloudConfig":"Трябва да изберете облачна среда","composer.submit.missingCloudTurn":"Не може да се продължи с тази задача","composer.submit.noWorkspace":"Добавете проект, за да използвате Codex","composer.submit.waitForImageUploads":"Качване на изображения…","composer.submitButtonTooltip.send":"Изпращане","composer.submitButtonTooltip.stop":"Стоп","composer.worktreeEnvironment.create":"Създайте локална среда","composer.worktreeEnvironment.default":"Среда по подразбиране","composer.worktreeEnvironment.error":"Грешка при зареждане на средите","composer.worktreeEnvironment.loading":"Зареждане на среди...","composer.worktreeEnvironment.title":"Локална среда","composer.worktreeEnvironment.tooltip":"Изберете локална среда","composer.worktreeSetupFailed":"Настройката на worktree не бе успешна. Проверете .codex/environments за скрипт за настройка.","compoundButton.secondaryAction":"Допълнително действие","copyButton.copied":"Копирано","copyButton.copiedAriaLabel":"Копирано","copyButton.copy":"Копиране","copyButton.copyAriaLabel":"Копиране","copyButton.copyCode":"Копиране на код","diff.actionButton.revertFile":"Върни файла","diff.actionButton.revertHunk":"Върнете обратно","diff.actionButton.revertSection":"Върни всички","diff.actionButton.revertSectionLabel":"Отменете всички промени","diff.actionButton.stageFile":"Подготви файла за commit","diff.actionButton.stageHunk":"Подгответе за commit","diff.actionButton.stageSection":"Подготви всички за commit","diff.actionButton.stageSectionLabel":"Подгответе всички промени","diff.actionButton.unstageFile":"Премахнете файла от подготовка за commit","diff.actionButton.unstageHunk":"Премахнете от подготовка за commit","diff.actionButton.unstageSection":"Премахни всички от подготвените за commit","diff.actionButton.unstageSectionLabel":"Премахнете всички подготвени промени","diff.fileHeader.toggle":"Показване/скриване на разликите във файла","electron.onboarding.login.apikey.cancel":"Отказ","electron.onboarding.login.apikey.continue":"Продължете","electron.onboarding.login.apikey.label":"API ключ на OpenAI","electron.onboarding.login.apikey.open":"Въведете API ключ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Отменете влизането","electron.onboarding.login.chatgpt.continue":"Продължете с ChatGPT","electron.onboarding.login.devbox":"Свързване с отдалечен сървър чрез защитена връзка (Secure Shell)","electron.onboarding.login.error":"Неуспешно влизане: {rawMessage}","electron.onboarding.login.snake.start":"Играйте Snake","electron.onboarding.login.sshConfig.cancel":"Отказ","electron.onboarding.login.sshConfig.continue":"Продължете","electron.onboarding.login.sshConfig.hostnameLabel":"Име на отдалечения сървър (Secure Shell)","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Най-добрият начин да създавате с агенти","electron.onboarding.login.title":"Добре дошли в Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Продължете","electron.onboarding.welcome.doubleLimits.description":"В чест на старта на апа Codex разполагате с двойни лимити за заявки до 2 април.","electron.onboarding.welcome.freego.description":"Codex е включен безплатно в плана ви до 2 март – нека започнем да създаваме заедно.","electron.onboarding.welcome.new.title.anon":"Добре дошли!","electron.onboarding.workspace.continue":"Продължете","electron.onboarding.workspace.empty":"Добавете проект, за да продължите","electron.onboarding.workspace.listLabel":"Налични проекти","electron.onboarding.workspace.loading":"Зареждане на проектите…","electron.onboarding.workspace.openFolder":"Добавете проект","electron.onboarding.workspace.selectAll":"Изберете всички","electron.onboarding.workspace.skip":"Пропускане","electron.onboarding.workspace.skip.error":"Не успяхме да създадем нов проект: {message}","electron.onboarding.workspace.skip.error.unknown":"Неизвестна грешка","electron.onboarding.workspace.skipping":"Създаване на нов проект…","electron.onboarding.workspace.subtitle":"Codex ще може да редактира файлове и да изпълнява команди в избрани папки.","electron.onboarding.workspace.title":"Избор на проект","errorPage.list.checkSettings":"Опитайте се да обновите вашите IDE настройки","errorPage.list.configToml":"Проверете config.toml за невалидни настройки","errorPage.list.downloadExtension":"Опитайте се да изтеглите друга версия на разширението","errorPage.list.runInWsl":"Проверете настройките си, за да изключите работа в WSL, ако имате проблеми със съвместимостта","execApprovalRequest.menu.runAlways":"Да, и не питайте отново в тази сесия","execApprovalRequest.menu.runAlwaysWithAmendment":"Да, и не питай отново за команди, които започват с {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Да, и не питайте отново за команди, които започват с","execApprovalRequest.menu.runOnce":"Да","execApprovalRequest.prompt":"Искате ли да изпълните тази команда?","execApprovalRequest.reject":"Не","execFooter.exitCode":"Код за изход: {code}","execFooter.exitCode.unknown":"неизвестно","execFooter.success":"Успех","feedback.dialog.category.badResult":"Лош резултат","feedback.dialog.category.bug":"Грешка/бъг","feedback.dialog.category.goodResult":"Добър резултат","feedback.dialog.category.other":"Друго","feedback.dialog.descriptionPlaceholder":"Опишете проблема тук","feedback.dialog.dismiss":"Отхвърлете","feedback.dialog.includeLogsLabel":"Включете текущите логове от Codex сесията","feedback.dialog.submit":"Изпратете","feedback.dialog.submitError":"Не успяхме да изпратим обратната връзка. Моля, опитайте отново след малко.","feedback.dialog.title":"Отзиви, обратна връзка","feedback.dialog.uploadedMessage.existingIssue":"съществуващ отворен проблем","feedback.dialog.uploadedMessage.openIssue":"Подайте сигнал в GitHub","feedback.dialog.uploadedMessage.withThread":"Обратната връзка е качена. Ако проблемът продължи, моля {openIssueLink} или посочете ID на нишката в {existingIssueLink}:","feedback.dialog.uploadedTitle":"Обратната връзка е качена","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Премахване на {filename}","header.back":"Назад","header.recentChats":"Задачи","header.recentTasks.seeAll":"Вижте всички ({total})","home.header.getPlus":"Вземете Plus","home.hero.letsBuild":"Да започнем","homePage.mainContent":"Основно съдържание","imageAttachment.defaultName":"изображение","imageAttachment.preview.close":"Затворете прегледа на изображението","imageAttachment.removeAriaLabel":"Премахване на {filename}","implementPlanRequest.option.implement":"Да, изпълнете този план","implementPlanRequest.prompt":"Да се изпълни ли този план?","inbox.archived.deleteError":"Неуспешно изтриване на архивираното изпълнение","inbox.archived.deleteRun":"Изтрийте архивираното изпълнение","inbox.archived.deleteSuccess":"Архивираният разговор е изтрит. <settingsLink>Вижте архивиран разговор</settingsLink>.","inbox.archived.inlineLabel.auto":"Този разговор беше архивиран автоматично. <learnMoreLink>Научете повече</learnMoreLink>","inbox.archived.inlineLabel.manual":"Този разговор е архивиран.","inbox.archived.noMessageFound":"Няма намерени съобщения","inbox.automations.createError":"Не успяхме да създадем автоматизация","inbox.automations.deleteConfirm.cancel":"Отказ","inbox.automations.deleteConfirm.confirm":"Изтриване на автоматизацията","inbox.automations.deleteConfirm.description":"Това ще изтрие автоматизацията окончателно и ще спре всички бъдещи изпълнения.","inbox.automations.deleteConfirm.title":"Изтриване на {name}?","inbox.automations.deleteError":"Неуспешно изтриване на автоматизацията","inbox.automations.editTooltip":"Редактиране на автоматизацията","inbox.automations.inProgress":"В процес на изпълнение","inbox.automations.new":"Нов","inbox.automations.newToolbar":"Нова автоматизация","inbox.automations.pauseTooltip":"Поставете автоматизацията на пауза","inbox.automations.resumeTooltip":"Възобновете автоматизацията","inbox.automations.startingNow":"Започва сега","inbox.automations.startsIn":"Започва след {startTime}","inbox.automations.status.active":"Активен","inbox.automations.status.paused":"На пауза","inbox.automations.status.runs":"{count} изпълнение","inbox.automations.status.started":"Стартирано {date}","inbox.automations.updateError":"Неуспешно обновяване на автоматизацията","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Всички","inbox.filter.ariaLabel":"Филтрирайте елементите във входящата поща","inbox.filter.unread":"Непрочетено","inbox.list.archived":"Архивиране","inbox.list.inProgress":"В процес на изпълнение","inbox.list.recent":"Завършено","inbox.list.upNext":"Насрочено","inbox.mode.automations":"Автоматизации","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Няма предоставено описание.","inbox.openThread":"Отворете нишката","inbox.rightPanel.emptySubtitle":"Автоматизирайте работата чрез планирани задачи","inbox.rightPanel.emptySubtitle.learnMore":"Автоматизирайте работата чрез планирани задачи <link>Научете повече</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# активна автоматизация} other {# активни автоматизации}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Няма непрочетени автоматизации","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# непрочетена автоматизация} other {# непрочетени автоматизации}}","inbox.rightPanel.emptyTitle":"Няма избран елемент","inbox.rightPanel.noThread":"Няма нишка за този елемент","inbox.rightPanel.quickStart.header":"Започнете с шаблон","inbox.untitled":"Елемент във входящата поща без заглавие","loadingPage.documentationLink":"документация","loadingPage.errorDescription":"Codex прекъсна с тази грешка:","loadingPage.errorDescription.documentation":"Щракнете върху „Презареждане“, за да рестартирате разширението Codex, или посетете {documentationLink} за допълнителна помощ.","loadingPage.errorSignal":"Някои неща, които да опитате:","loadingPage.errorTitle":"Възникна грешка","loadingPage.openConfigToml":"Отворете config.toml","loadingPage.reload":"Презареждане","localConversation.contextCompacted":"Контекстът е автоматично съкратен","localConversation.contextCompacting":"Автоматично съкращаване на контекста","localConversation.forkedFromConversation":"Разклонено от {threadTitle}","localConversation.merge.autoResolve.failed":"Неуспешна заявка за автоматично решаване: {error}","localConversation.merge.autoResolve.sent":"Заявката за автоматично решаване е изпратена","localConversation.merge.autoResolveMerge.missingConversation":"Не може да се използва автоматично решаване без активен разговор.","localConversation.merge.autoResolveMerge.request":"Автоматично решете конфликтите при сливане","localConversation.modelChanged":"Моделът е променен от {fromModel} на {toModel}.","localConversation.modelChanged.warning.line1":"Смяната на модела по време на разговор ще влоши производителността.","localConversation.modelChanged.warning.line2":"Контекстът може да бъде автоматично съкратен.","localConversation.moveThread.createBranch.label":"Създаване на branch","localConversation.moveToLocal.disabled.loading":"Зареждане…","localConversation.moveToLocal.modal.continue":"Продължете","localConversation.moveToLocal.modal.destinationLabel":"Преместете в","localConversation.moveToLocal.modal.retry":"Опитайте отново","localConversation.moveToWorktree.modal.back":"Назад","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Branch с това име вече съществува.","localConversation.moveToWorktree.modal.branchesError":"Неуспешно зареждане на клоновете","localConversation.moveToWorktree.modal.branchesLoading":"Зареждане на клоновете…","localConversation.moveToWorktree.modal.branchesRetry":"Опитайте отново","localConversation.moveToWorktree.modal.continue":"Продължете","localConversation.moveToWorktree.modal.retry":"Опитайте отново","localConversation.moveToWorktree.modal.trailingSlashError":"Името на branch не може да завършва  с(ъс) „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"Превключено към личностен стил {personality}","localConversation.planSummary.collapse":"Свийте обобщението на плана","localConversation.planSummary.collapseTooltip":"Свийте","localConversation.planSummary.download":"Изтеглете плана","localConversation.planSummary.expand":"Разгънете обобщението на плана","localConversation.planSummary.expandTooltip":"Разгънете","localConversation.planSummary.openInNewWindow":"Отворено","localConversation.planSummary.openInNewWindow.tooltip":"Отворете в нов прозорец","localConversation.planSummary.title":"План","localConversation.planSummary.titleWriting":"План за писане","localConversation.planSummary.viewPlan":"Разширете плана","localConversation.remoteTaskCreated":"Създадено {taskLink} в Codex Cloud","localConversation.remoteTaskCreated.task":"задача","localConversation.scrollToBottomButton":"Плъзнете до долу","localConversation.sync.buttonLabel":"Прехвърлете към локалната среда","localConversation.sync.buttonLabel.tooltip":"Предавайте промените между този worktree и локалното ви копие.","localConversation.sync.modal.loading.title":"Прехвърляне на промените…","localConversation.sync.modal.noChanges":"Няма промени","localConversation.syncSetup.branchAriaLabel":"Име на клон","localConversation.syncSetup.branchName":"Име на клон","localConversation.syncSetup.branchPlaceholder.existing":"Изберете съществуващ клон","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Зареждане на клоновете…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Вече е активен","localConversation.syncSetup.checkoutClean":"В момента сте на {branchName}","localConversation.syncSetup.checkoutDirty":"В момента сте на {branchName} с незаписани промени","localConversation.syncSetup.checkoutError":"Неуспешно превключване към клон: {message}","localConversation.syncSetup.checkoutLabel":"Активирайте локално сега","localConversation.syncSetup.checkoutOnLocal":"Прехвърлете към локалната среда","localConversation.syncSetup.checkoutPending":"Проверка на локалния статус…","localConversation.syncSetup.checkoutUnavailable":"Локалното работно пространство не е налично","localConversation.syncSetup.checkoutUnknown":"Локалният клон не е наличен","localConversation.syncSetup.continue":"Продължете","localConversation.syncSetup.createBranchError":"Неуспешно задаване на клон за прехвърляне: {message}","localConversation.syncSetup.error":"Възникна проблем: {message}","localConversation.syncSetup.error.workingTreeMissing":"Неуспешно създаване на snapshot на worktree. Моля, опитайте отново с прехвърлянето.","localConversation.syncSetup.mode.ariaLabel":"Изберете режим за клон","localConversation.syncSetup.mode.existing":"Съществуващ клон","localConversation.syncSetup.mode.new":"Нов клон","localConversation.syncSetup.noBranches":"Не са открити клонове","localConversation.syncSetup.overwriteError":"Клонът е създаден, но не е напълно прехвърлен. Прехвърлете ръчно преди локално превключване.","localConversation.syncSetup.setPrefix":"Задайте префикс","localConversation.syncSetup.subtitle":"Тествайте и редактирайте промените в worktree локално. <a>Научете повече</a>","localConversation.syncSetup.success.checkedOut":"Клонът е създаден и е активен локално","localConversation.syncSetup.success.notCheckedOut":"Клонът е създаден","localConversation.syncSetup.title":"Прехвърлете към локален клон","localConversation.syncWorktreeError.branchAriaLabel":"Име на клон","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Изберете клон за прехвърляне, след което опитайте отново да заредите промените","localConversation.syncWorktreeError.branchSetup.title":"Обновете клона","localConversation.syncWorktreeError.branchUpdate.cta":"Обновете и опитайте отново","localConversation.syncWorktreeError.branchUpdate.error":"Неуспешно обновяване на клон: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Възникна проблем: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Клонът не е изтеглен в нито едно worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Приложи промените","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Трябва да активирате клона локално, за да приложите незаписаните промени","localConversation.syncWorktreeV2.branches.empty":"Не са открити клонове","localConversation.syncWorktreeV2.branches.loading":"Зареждане на клоновете…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Сменете клона за прехвърляне","localConversation.syncWorktreeV2.changeBranch.error":"Неуспешна смяна на клон за прехвърляне: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Прилагането не бе успешно","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Неуспешно презаписване на worktree","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Неуспешно презаписване локално","localConversation.syncWorktreeV2.commandError.back":"Назад","localConversation.syncWorktreeV2.commandError.body":"Git команда не се изпълни при прехвърлянето. Прегледайте резултата и опитайте отново.","localConversation.syncWorktreeV2.commandError.retry":"Опитайте отново","localConversation.syncWorktreeV2.description":"Прехвърлете промените между локалната среда и този worktree <a>Научете повече</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Изберете посока на прехвърляне","localConversation.syncWorktreeV2.error.generic":"Възникна проблем при прехвърлянето. Опитайте отново.","localConversation.syncWorktreeV2.localBranchLabel":"Локално","localConversation.syncWorktreeV2.noChanges":"Изчисляване на промените","localConversation.syncWorktreeV2.noChanges.summary":"Няма промени","localConversation.syncWorktreeV2.overwrite.local":"Презапиши локалните файлове","localConversation.syncWorktreeV2.overwrite.worktree":"Презапиши worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Неуспешно прилагане на промените","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Не успяхме да презапишем локалните промени","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Не успяхме да презапишем промените в worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Приложено","localConversation.syncWorktreeV2.partial.back":"Назад","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Разрешете конфликтите и опитайте отново","localConversation.syncWorktreeV2.partial.conflictsLabel":"Конфликти","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# файл} other {# файлa}}","localConversation.syncWorktreeV2.partial.retry":"Опитайте отново","localConversation.syncWorktreeV2.partial.skippedLabel":"Пропуснато","localConversation.syncWorktreeV2.stateFailed.generic":"Възникна проблем при извличането на промените от worktree за прехвърляне. Моля, опитайте отново.","localConversation.syncWorktreeV2.stateFailed.title":"Неуспешно зареждане на промените в worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Неуспешно зареждане на промените в worktree.","localConversation.syncWorktreeV2.statusError.retry":"Опитайте отново","localConversation.syncWorktreeV2.statusError.title":"Неуспешно зареждане на промените в локалния клон","localConversation.syncWorktreeV2.statusError.unknown":"Статусът на клон в момента не е наличен. Опитайте отново.","localConversation.syncWorktreeV2.success.apply":"Промените са приложени успешно","localConversation.syncWorktreeV2.success.overwrite":"Прехвърлянето е успешно","localConversation.syncWorktreeV2.title":"Прехвърляне на промените","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Задаване на {count, plural, one {въпрос} other {въпроси}}","localConversation.userInputRequest.noAnswer":"Няма предоставен отговор","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Зададен/и","localConversation.userInputRequest.summary.count":"{count, plural, one {# въпрос} other {# въпроса}}","localConversation.workedFor":"Работил {time}","localConversation.worktreeBranchSetup.action.create":"Създаване","localConversation.worktreeBranchSetup.branchAriaLabel":"Име на клон","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Създай нов клон","localConversation.worktreeBranchSetup.checkoutDisabled":"Този клон вече е активен в {location}","localConversation.worktreeBranchSetup.checkoutError":"Неуспешно превключване към клон: {message}","localConversation.worktreeBranchSetup.createBranchError":"Неуспешно задаване на клон: {message}","localConversation.worktreeBranchSetup.error":"Възникна проблем: {message}","localConversation.worktreeBranchSetup.subtitle":"Създайте клон, за да запишете промените, да ги изпратите и да създадете заявка за изтегляне (PR) от това worktree. <a>Научете повече</a>","localConversation.worktreeBranchSetup.title":"Работете тук","localConversationPage.addWorktreeToSidebar.tooltip":"Запази като проект, за да можеш да стартираш нови разговори от този worktree","localConversationPage.addWorktreeToSidebarError":"Неуспешно добавяне на проект","localConversationPage.commitAndCreatePrModal.errorTitle":"Неуспешен комит и създаване на PR","localConversationPage.commitAndCreatePrModal.successTitle":"Комитът е направен и е създадена PR","localConversationPage.commitAndPushModal.errorTitle":"Неуспешен комит и изпращане","localConversationPage.commitAndPushModal.successTitle":"Промените са комитнати и изпратени","localConversationPage.commitCreatePr.open":"Отваряне на заявка за изтегляне","localConversationPage.commitCreatePr.successTitle":"Създаден е PR с последните ви промени","localConversationPage.createBranchButtonLabel":"Създайте branch тук","localConversationPage.createPrModal.baseBranch":"Базов клон","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Създай PR","localConversationPage.createPrModal.createDescription":"Отворете заявка за изтегляне за последните си промени.","localConversationPage.createPrModal.errorTitle":"Неуспешна заявка за изтегляне","localConversationPage.createPrModal.headBranch":"Изходен клон","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Създай PR","localConversationPage.createPrModal.successTitle":"Заявката за изтегляне (pull request) е създадена","localConversationPage.createPrModal.title":"Създайте PR","localConversationPage.createPrModal.viewDescription":"За този клон вече има PR.","localConversationPage.createPrModal.viewTitle":"PR е готов","localConversationPage.createPullRequestAuthGh":"Удостоверете GitHub CLI. Изпълнете „gh auth login“","localConversationPage.createPullRequestBranchMissing":"Информацията за клона не е налична","localConversationPage.createPullRequestButtonLabel":"Създаване на PR","localConversationPage.createPullRequestButtonLabel.loading":"Създаване на заявка за изтегляне (PR)...","localConversationPage.createPullRequestDefaultBranchMissing":"Информацията за основния клон не е налична","localConversationPage.createPullRequestError":"Неуспешно създаване на заявка за изтегляне (pull request)","localConversationPage.createPullRequestExistingPullRequest":"За този branch вече има PR","localConversationPage.createPullRequestGhStatusMissing":"Зареждане на състоянието на GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Инсталирайте GitHub CLI (gh), за да създавате заявки за сливане","localConversationPage.createPullRequestNoRepo":"Не е намерено Git хранилище","localConversationPage.createPullRequestPushStatusMissing":"Зареждане на състоянието на push…","localConversationPage.createPullRequestSetUpstream":"Публикувайте този клон, преди да създадете заявка за сливане","localConversationPage.createPullRequestSuccessToast":"Заявката за изтегляне (pull request) е създадена","localConversationPage.createPullRequestSwitchBranch":"Превключете към функционален клон, преди да създадете заявка за сливане","localConversationPage.error.render":"Грешка при визуализиране на локалния разговор","localConversationPage.error.toast":"Разговорът не е намерен","localConversationPage.forcePushError":"Неуспешен force push","localConversationPage.generatePullRequestMessageError":"Неуспешно генериране на заглавие и описание на заявката за изтегляне","localConversationPage.generatePullRequestMessageFailed":"Неуспешно генериране на заглавие и описание на заявката за изтегляне.","localConversationPage.gitActionResult.branch":"Клон","localConversationPage.gitActionResult.cancel":"Отказ","localConversationPage.gitActionResult.close":"Затваряне","localConversationPage.gitActionResult.tryAgain":"Опитайте пак","localConversationPage.gitActions":"Git действия","localConversationPage.newChat":"Нов чат","localConversationPage.openInTarget":"Отворете в","localConversationPage.openPrimaryTarget":"Отворено","localConversationPage.planItemsCompleted":"{completedItems} от {totalItems, plural, one {# изпълнена задача} other {# изпълнени задачи}}","localConversationPage.pushAuthError":"Push не бе успешен: изисква се удостоверяване","localConversationPage.pushBranchMissing":"Информацията за клона не е налична","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Качване…","localConversationPage.pushError":"Неуспешно изпращане на промените","localConversationPage.pushModal.branchLabel":"Клон","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Отказ","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Изпратете последните си commit-и към отдалеченото хранилище.","localConversationPage.pushModal.errorTitle":"Push не бе успешен","localConversationPage.pushModal.forcePush":"Force push","localConversationPage.pushModal.successTitle":"Push е завършен","localConversationPage.pushModal.title":"Изпращане на промените","localConversationPage.pushModal.tryAgain":"Опитайте пак","localConversationPage.pushNoUpstream":"Задайте upstream клон преди изпращане на този клон","localConversationPage.pushNoUpstreamError":"Push не бе успешен: няма конфигуриран upstream.","localConversationPage.pushNothingToPush":"Няма нови commit-и за изпращане","localConversationPage.pushRemoteChangedError":"Push не бе успешен: в отдалеченото хранилище има нови commit-и.","localConversationPage.pushRemoteRejectedError":"Push е отхвърлен от отдалеченото хранилище","localConversationPage.pushStatusMissing":"Зареждане на състоянието на push…","localConversationPage.pushSuccessToast":"Промените са качени","localConversationPage.viewPullRequestButtonLabel":"Преглед на PR","localConversationPage.viewPullRequestButtonLabel.loading":"Зареждане на pull request…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# файл} other {# файлa}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# списък} other {# списъка}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {#търсене} other {# търсения}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Изследване","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Изследвано","localConversationTurn.exploration.accordion.header.complete.withCounts":"Изследвано {counts}","localConversationTurnStory.showContent":"Покажете съдържанието","localConversationTurnStory.streamContent":"Поточно предаване на съдържанието","localConversationTurnStory.toggleReasoning":"Покажете разсъжденията","localTaskRow.archiveError":"Неуспешно архивиране на разговора","localTaskRow.resumeError":"Неуспешно възобновяване на задачата","mermaidDiagram.ariaLabel":"Диаграма, създадена с Mermaid","mermaidDiagram.copySource":"Копирайте Mermaid диаграма","mermaidDiagram.originalCode":"Изходен код на диаграмата, създадена с Mermaid","notifications.permissions.description":"Показвайте предупреждения, когато са необходими разрешения за известия","notifications.permissions.label":"Активирайте известията за разрешения","notifications.turnMode.always":"Винаги","notifications.turnMode.description":"Задайте кога Codex да ви уведоми, че е завършил","notifications.turnMode.label":"Известия за завършване","notifications.turnMode.off":"Никога","notifications.turnMode.unfocused":"Само когато не е на фокус","patchApprovalRequest.approve":"Одобрете","patchApprovalRequest.menu.allowAlways":"Да, и не питайте отново в тази сесия","patchApprovalRequest.menu.allowForSession":"Да, и не питайте отново в тази сесия","patchApprovalRequest.menu.allowOnce":"Да","patchApprovalRequest.prompt":"Искате ли да приложите тези промени?","patchApprovalRequest.reject":"Не","patchApprovalRequest.waitingForApproval":"Изчаква се одобрение за редактиране на файлове","pendingRequest.approvalExec.collapse":"Свийте","pendingRequest.approvalExec.expand":"Разгънете","pendingRequestStory.toastAnswer":"Отговор: {answer}","pendingRequestStory.toastApprovalTitle":"Отговор за одобрение","pendingRequestStory.toastFollowupPrompt":"Подсказка: {prompt}","pendingRequestStory.toastFollowupTitle":"Изпратено е последващо съобщение","pendingRequestStory.toastNoAnswers":"Няма предоставени отговори","pendingRequestStory.toastQuestion":"Въпрос: {question}","pendingRequestStory.toastUnknownDecision":"Неизвестно","pendingRequestStory.toastUserInputTitle":"Изпратени отговори","quickAction.request.codeReview.branches.new":"Моля, прегледайте промените в {from} спрямо {to}","quickAction.request.codeReview.uncommitted.new":"Моля, прегледайте моите непотвърдени промени","reasoningItem.thinking":"Мислене","reasoningItem.thought":"Готов с мисленето","reasoningItem.thoughtWithElapsed":"Помислих за {elapsed}","recentConversations.title":"Скорошни разговори","recentTasks.worktreeInitFailedTitle":"Инициализирането на worktree е неуспешно","recentTasks.worktreeSettingUpTitle":"Настройване на worktree","requestInputPanel.continue":"Продължете","requestInputPanel.dismiss":"Отхвърлете","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Въведете тук","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Не, и кажете на Codex какво да направи по различен начин","requestInputPanel.selectedBadge":"Избрани","requestInputPanel.skip":"Пропускане","requestInputPanel.submit":"Изпратете","review.commit.ariaLabel.includeUnstaged":"Включете незаписаните промени","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commit в процес…","review.commit.disabled.loadingDiff":"Зареждане на разлики…","review.commit.disabled.missingContext":"Добавете контекст, за да се генерира commit съобщение","review.commit.disabled.noChanges":"Няма промени за запазване","review.commit.disabled.noSelection":"Изберете промени за запазване","review.commit.disabled.unavailable":"Запазването не е налично в момента","review.commit.error":"Неуспешен commit на промените","review.commit.form.changesToBeCommitted":"Промени","review.commit.form.commitTo":"Клон","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Продължете","review.commit.form.title":"Commit на промените","review.commit.generate.emptyResponse":"Не успяхме да генерираме commit съобщение.","review.commit.generate.failed":"Неуспешно генериране на commit съобщение: {error}","review.commit.generate.missingPrompt":"Добавете контекст, за да се генерира commit съобщение.","review.commit.includeUnstaged":"Включете незаписаните промени","review.commit.loading.description":"Моля, изчакайте – това може да отнеме малко време","review.commit.loading.step.commit.done":"Промените са commit-нати","review.commit.loading.step.commit.pending":"Записване на промените","review.commit.loading.step.createPr.done":"Създадена е заявка за изтегляне (PR)","review.commit.loading.step.createPr.pending":"Създаване на заявка за изтегляне (PR)","review.commit.loading.step.push.done":"Изпратено към клона {branch}","review.commit.loading.step.push.pending":"Изпращане към клона {branch}","review.commit.loading.title.commit":"Записване на промените","review.commit.loading.title.createPr":"Създаване на PR","review.commit.loading.title.push":"Изпращане на промените","review.commit.messageLabel":"Съобщение към commit","review.commit.messagePlaceholder":"Остави празно, за да се създаде автоматично commit съобщение","review.commit.nextSteps":"Следващи стъпки","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Записване и създаване на PR","review.commit.nextSteps.commitAndPush":"Записване и изпращане","review.commit.nextSteps.prRequiresGh":"Изисква GitHub CLI: {command}","review.commit.rows.changes":"Промени","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# commits}} и {stats}","review.commit.rows.fileCount":"{count, plural, one {# файл} other {# файлa}}","review.commit.state.error.body":"Възникна проблем по време на commit. Проверете git статуса си и опитайте отново.","review.commit.state.error.title":"Commit неуспешен","review.commit.state.success.title":"Промените са записани","review.commit.untracked.loadingStats":"Зареждане на статистиките за непроследените разлики...","reviewFindingAttachments.count":"{count, plural, one {# резултат} other {# резултати}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Редактирайте конфигурацията си, за да персонализирате поведението на агента","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"Рестартирайте Codex след редактиране, за да приложите промените","settings.agent.configuration.subtitle":"Тези настройки се прилагат навсякъде, където се използва Codex","settings.automations.banner.danger":"Автоматизациите се изпълняват с вашите стандартни настройки на средата sandbox, които в момента са зададени на пълен достъп. Стартирането на фонови автоматизации с пълен достъп носи повишен риск, тъй като Codex може да променя файлове, да изпълнява команди и да осъществява мрежов достъп без потвърждение. Помислете за промяна на настройките на средата sandbox на запис в работното пространство и за използване на  <rulesDocsLink>правила</rulesDocsLink>, за да определите кои команди агентът може да изпълнява с пълен достъп.","settings.automations.banner.defaultHowTo.default":"Автоматизациите се изпълняват с вашите стандартни настройки на средата sandbox. Извикванията на инструменти ще се провалят, ако изискват промяна на файлове извън работното пространство, достъп до мрежата или работа с апове на вашия компютър. Можете избирателно да разрешавате команди извън средата sandbox чрез <rulesDocsLink>правила</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Автоматизациите се изпълняват с вашите стандартни настройки на средата sandbox, които са зададени само за четене. Извикванията на инструменти ще се провалят, ако изискват промяна на файлове, достъп до мрежата или работа с апове на вашия компютър. Помислете за промяна на настройките на средата sandbox на запис в работното пространство.","settings.automations.cancel":"Отказ","settings.automations.create":"Създаване","settings.automations.cwdEmpty":"Няма налични папки за проект","settings.automations.cwdLabel":"Проекти","settings.automations.cwdPlaceholder":"Изберете папка","settings.automations.cwdSubtitle":"Ако искате автоматизацията да се изпълнява в конкретен клон, можете да го посочите в подканата.","settings.automations.delete":"Изтриване","settings.automations.dialog.editTitle":"Редактиране на автоматизацията","settings.automations.dialog.newTitle":"Нова автоматизация","settings.automations.dialog.subtitle":"Автоматизирайте повтарящи се задачи във фонов режим. Codex добавя резултатите във входящата поща или автоматично архивира задачата, ако няма какво да се отчете. <learnMoreLink>Научете повече</learnMoreLink>","settings.automations.dialog.title":"Създаване на автоматизация","settings.automations.executionCopy.git":"Автоматизациите се изпълняват във фонов режим в отделни worktree структури.","settings.automations.executionCopy.nonGit":"В проекти без контрол на версиите автоматизациите се изпълняват директно в директорията на проекта. Помислете за използване на Git, за да активирате работа с фонови worktree структури.","settings.automations.executionEnvironment.local":"Локално","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Зареждане…","settings.automations.nameLabel":"Име","settings.automations.namePlaceholder":"Проверка за проблеми в Sentry","settings.automations.pause":"Пауза","settings.automations.promptLabel":"Подкана","settings.automations.promptPlaceholder":"Търсене на сривове в $Sentry","settings.automations.resume":"Възобновете","settings.automations.rruleSummaryFallback":"Персонализиран график","settings.automations.runNow":"Тест","settings.automations.save":"Запазване","settings.automations.scheduleBadge.dayCount":"{count}дни","settings.automations.scheduleBadge.interval":"{count}час(а)","settings.automations.scheduleBadge.weekdays":"Делнични дни","settings.automations.scheduleBadge.weekends":"Почивни дни","settings.automations.scheduleHeader":"График","settings.automations.scheduleHours":"часа","settings.automations.scheduleLabel":"Изпълнявай на всеки","settings.automations.scheduleMode.daily":"Всеки ден","settings.automations.scheduleMode.interval":"Интервал","settings.automations.scheduleModeLabel":"Тип график","settings.automations.scheduleSummary.daily":"Ежедневно в {time}","settings.automations.scheduleSummary.interval":"На всеки {count}ч.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ден} other {# дни}}","settings.automations.scheduleSummary.intervalDays":"{interval} на {days}","settings.automations.scheduleSummary.intervalHourly":"Всеки час","settings.automations.scheduleSummary.singleDay":"{day} в {time}","settings.automations.scheduleSummary.weekdays":"Делнични дни в {time}","settings.automations.scheduleSummary.weekdaysLabel":"делнични дни","settings.automations.scheduleSummary.weekends":"Почивни дни в {time}","settings.automations.scheduleSummary.weekendsLabel":"почивни дни","settings.automations.scheduleSummary.weekly":"{days} в {time}","settings.automations.scheduleWeekdays":"Вкл.","settings.automations.weekdayState.excluded":"Изключена","settings.automations.weekdayState.included":"Включена","settings.conversationDetail.steps":"Стъпки","settings.conversationDetail.steps.description":"Скрийте командите и изходните данни","settings.conversationDetail.stepsWithCommands":"Стъпки с команди за код","settings.conversationDetail.stepsWithCommands.description":"Покажете командите, свийте изходните данни","settings.conversationDetail.stepsWithOutput":"Стъпки с изходни данни от код","settings.conversationDetail.stepsWithOutput.description":"Покажете командите и разгънете изходните данни","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Няма архивирани чатове.","settings.dataControls.archivedChats.error":"Не успяхме да заредим архивираните разговори.","settings.dataControls.archivedChats.loading":"Зареждане на архивираните разговори…","settings.dataControls.archivedChats.unarchive":"Разархивиране","settings.dataControls.archivedChats.unarchiveError":"Неуспешно премахване от архива на разговора","settings.dataControls.archivedChats.unarchiveSuccess":"Разговорът е изваден от архива. <viewNowLink>Прегледайте сега</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Разговорът е изваден от архива.","settings.dataControls.archivedChats.untitled":"Разговор без заглавие","settings.dataControls.archivedChats.viewNow":"Вижте сега","settings.editRow.headerPlaceholder":"Ключ","settings.editRow.removeEntry":"Премахнете записа","settings.editRow.valuePlaceholder":"Стойност","settings.general.appearance":"Изглед","settings.general.appearance.codeFont":"Шрифт за код","settings.general.appearance.codeFont.description":"Настройте шрифта и размера на кода във всички разговори и сравнения","settings.general.appearance.codeFontFamily":"Тип шрифт за код","settings.general.appearance.codeFontSize":"Размер на шрифта за код","settings.general.appearance.codeFontSize.units":"пиксела","settings.general.appearance.opaqueWindows.description":"Използвайте плътен фон на прозорците вместо системна прозрачност","settings.general.appearance.opaqueWindows.label":"Използвайте непрозрачен фон на прозорците","settings.general.appearance.sansFontFamily":"Тип шрифт за код: Sans","settings.general.appearance.sansFontFamily.description":"Настройте шрифта, използван в интерфейса на Codex","settings.general.appearance.sansFontSize":"Размер на основния шрифт","settings.general.appearance.sansFontSize.units":"пиксела","settings.general.appearance.sparkCelebrationEffects.description":"Показвайте празнични ефекти на цял екран при първото стартиране на GPT-5.3-Codex-Spark","settings.general.appearance.sparkCelebrationEffects.label":"Празнични ефекти при Spark","settings.general.appearance.theme":"Тема","settings.general.appearance.theme.dark":"Тъмен","settings.general.appearance.theme.description":"Използвайте светъл, тъмен режим или настройките на системата","settings.general.appearance.theme.light":"Набързо","settings.general.appearance.theme.system":"Система","settings.general.appearance.usePointerCursors.description":"Променяйте курсора в показалец при задържане върху интерактивни елементи","settings.general.appearance.usePointerCursors.label":"Използвайте курсор тип показалец","settings.general.enterBehavior.description":"Когато е включено, многострочните подсказки изискват {modifierSymbol} + Enter за изпращане","settings.general.enterBehavior.label":"Изисквайте {modifierSymbol} + Enter за изпращане на дълги подсказки","settings.general.experimentalFeatures":"Експериментални функции (бета)","settings.general.experimentalFeatures.empty":"Няма налични експериментални функции в бета версия.","settings.general.experimentalFeatures.loading":"Зареждане на експерименталните функции…","settings.general.experimentalFeatures.restartNote":"Рестартирайте Codex, за да приложите промените в експерименталните функции","settings.general.experimentalFeatures.toggle":"Превключете {featureName}","settings.general.followUpQueueMode.description":"Поставете последващите съобщения да изчакат реда си, докато Codex работи, или насочвайте текущото изпълнение. Натиснете {invertFollowUpShortcutLabel}, за да направите обратното за едно съобщение.","settings.general.followUpQueueMode.interrupt":"Насочване","settings.general.followUpQueueMode.label":"Поведение на последващите заявки","settings.general.followUpQueueMode.queue":"Опашка","settings.general.notifications":"Известия","settings.general.power.preventSleepWhileRunning.description":"Поддържайте компютъра активен, докато Codex изпълнява процес.","settings.general.power.preventSleepWhileRunning.label":"Предотвратяване на режим на заспиване по време на изпълнение","settings.git.branchPrefix.ariaLabel":"Префикс на клон","settings.git.branchPrefix.description":"Префикс, използван при създаване на нови клонове в Codex","settings.git.branchPrefix.label":"Префикс на клон","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Неуспешно запазване на префикса за клон","settings.git.branchPrefix.save.success":"Префиксът за клон е запазен","settings.git.commitInstructions.ariaLabel":"Инструкции за commit","settings.git.commitInstructions.description":"Добавени към подсказките за генериране на commit съобщение","settings.git.commitInstructions.label":"Инструкции за commit","settings.git.commitInstructions.placeholder":"Добавете насоки за commit съобщение...","settings.git.commitInstructions.save":"Запазване","settings.git.commitInstructions.save.error":"Неуспешно запазване на инструкциите за сommit","settings.git.commitInstructions.save.success":"Инструкциите за commit са запазени","settings.git.forcePush.ariaLabel":"Винаги използвай force push","settings.git.forcePush.description":"Използвайте --force-with-lease при изпращане от Codex","settings.git.forcePush.label":"Винаги използвай force push","settings.git.forcePush.save.disabled":"Винаги използвай force push – изключено","settings.git.forcePush.save.enabled":"Винаги използвай force push – включено","settings.git.forcePush.save.error":"Неуспешно запазване на настройката за force push","settings.git.prInstructions.ariaLabel":"Инструкции за pull request","settings.git.prInstructions.description":"Добавени към описанията на pull request, създадени от Codex","settings.git.prInstructions.label":"Инструкции за pull request","settings.git.prInstructions.placeholder":"Добавете насоки за pull request...","settings.git.prInstructions.save":"Запазване","settings.git.prInstructions.save.error":"Неуспешно запазване на инструкциите за pull request","settings.git.prInstructions.save.success":"Инструкциите за pull request са запазени","settings.ide.defaultOpenTarget.description":"Къде файловете и папките да се отварят по подразбиране","settings.ide.defaultOpenTarget.label":"Местоположение по подразбиране за отваряне","settings.ide.defaultOpenTarget.placeholder":"Няма намерени цели","settings.ide.language.auto":"Автоматично разпознаване","settings.ide.language.autoOption":"Автоматично разпознаване","settings.ide.language.description":"Език за интерфейса на апа","settings.ide.language.label":"Език","settings.ide.language.search":"Търсене на езици","settings.layout.actionButton":"Рестартирайте разширението","settings.layout.actionTitle":"Настройки с бутон за действие","settings.layout.fullWidthTitle":"Настройки на цял екран по ширина","settings.layout.title":"Настройки","settings.localEnvironments.actions.add":"Добавяне на действие","settings.localEnvironments.actions.add.description":"Създайте нова команда за лентата с инструменти","settings.localEnvironments.actions.add.save":"Запазване","settings.localEnvironments.actions.empty":"Добавете действие, за да изпълните команди от локалната лента с инструменти.","settings.localEnvironments.actions.icon.debug":"Отстраняване на грешки","settings.localEnvironments.actions.icon.run":"Изпълни","settings.localEnvironments.actions.icon.test":"Тест","settings.localEnvironments.actions.icon.tool":"Инструмент","settings.localEnvironments.actions.item.button.delete":"Изтриване","settings.localEnvironments.actions.item.command":"Скрипт за действие  ","settings.localEnvironments.actions.item.name":"Име","settings.localEnvironments.actions.item.platforms":"Платформи","settings.localEnvironments.actions.item.platforms.help":"Изпълнявайте само в конкретна ОС.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Избор на платформа","settings.localEnvironments.actions.item.platforms.specific":"Специфично за платформа","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Изтриване","settings.localEnvironments.actions.title":"Действия","settings.localEnvironments.breadcrumb.back":"Назад","settings.localEnvironments.breadcrumb.edit":"редактиране","settings.localEnvironments.breadcrumb.root":"Среди","settings.localEnvironments.environment.actions.description":"Тези действия могат изпълняват всяка команда и ще бъдат показани в заглавната част.","settings.localEnvironments.environment.actionsLabel":"Действия","settings.localEnvironments.environment.create":"Създайте локална среда","settings.localEnvironments.environment.defaultName":"локална","settings.localEnvironments.environment.edit":"Редактирайте локална среда","settings.localEnvironments.environment.empty":"Все още няма конфигурирана локална среда за този проект","settings.localEnvironments.environment.name":"Име","settings.localEnvironments.environment.setup":"Скрипт за настройка","settings.localEnvironments.environment.setup.description":"Този скрипт ще се изпълни при създаване на worktree.","settings.localEnvironments.environment.setup.hint":"Изпълнява се в основната папка на проекта","settings.localEnvironments.environment.setup.platformOverrides":"Замени в платформата","settings.localEnvironments.environment.setup.platformOverrides.add":"Добавете {platform} скрипт за настройка","settings.localEnvironments.environment.setup.platformOverrides.description":"Заменя скрипта по подразбиране за конкретни ОС.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Премахване","settings.localEnvironments.environment.setup.script":"Скрипт","settings.localEnvironments.environment.title":"Данни за средата","settings.localEnvironments.file.missing":"Запазете, за да създадете този файл за пръв път.","settings.localEnvironments.file.parseError":"Не може да се анализира съществуващият файл. Запазването ще го презапише. ({error})","settings.localEnvironments.file.path":"Файл: {path}","settings.localEnvironments.file.readError":"Неуспешно зареждане на данни за локалната среда. ({error})","settings.localEnvironments.file.title":"Файл на локална среда","settings.localEnvironments.loading.body":"Зареждане на конфигурацията на проекта.","settings.localEnvironments.loading.title":"Зареждане на локални среди","settings.localEnvironments.preview.devOnly":"(само DEV)","settings.localEnvironments.preview.save":"Запазване","settings.localEnvironments.preview.saveError":"Неуспешно запазване на файла. ({error})","settings.localEnvironments.preview.title":"Предварителен преглед","settings.localEnvironments.save.disabled.name":"Добавете име на средата за запазване","settings.localEnvironments.save.disabled.noChanges":"Няма промени за запазване.","settings.localEnvironments.save.disabled.saving":"Запазване…","settings.localEnvironments.save.success":"Запазване на локална среда","settings.localEnvironments.unavailable.body":"Не успяхме да заредим настройките на локалната среда за този проект","settings.localEnvironments.unavailable.title":"Не са налични локални среди","settings.localEnvironments.workspace.add":"Добавете проект","settings.localEnvironments.workspace.title":"Проект","settings.localEnvironments.workspaceSelect.addLabel":"Добавяне на среда","settings.localEnvironments.workspaceSelect.description":"Локалните среди указват на Codex как да настройва worktree за даден проект. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Все още няма проекти. Добавете проект, за да конфигурирате локални среди.","settings.localEnvironments.workspaceSelect.errorLabel":"Средата се нуждае от внимание","settings.localEnvironments.workspaceSelect.learnMore":"Научете повече","settings.localEnvironments.workspaceSelect.listLabel":"Налични проекти","settings.localEnvironments.workspaceSelect.loading":"Зареждане на проектите.","settings.localEnvironments.workspaceSelect.loadingLabel":"Зареждане на среда","settings.localEnvironments.workspaceSelect.title":"Избор на проект","settings.localEnvironments.workspaceSelect.viewAction":"Преглед","settings.mcp.addServer":"Добавете сървър","settings.mcp.app.configure":"Конфигуриране","settings.mcp.app.connect":"Свързване","settings.mcp.apps.refresh":"Опресняване","settings.mcp.detail.addArgument":"Добавяне на аргумент","settings.mcp.detail.addEnvVar":"Добавяне на променлива на средата","settings.mcp.detail.addEnvVarPassthrough":"Добавяне на променлива","settings.mcp.detail.args":"Аргументи","settings.mcp.detail.back":"Назад","settings.mcp.detail.command":"Команда за стартиране","settings.mcp.detail.cwd":"Работна директория","settings.mcp.detail.docs":"Отворете документацията за MCP (протокол за контекста на модела)","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"Предаване на променливи на средата","settings.mcp.detail.envVars":"Променливи на средата","settings.mcp.detail.http.addEnvHeader":"Добавяне на променлива","settings.mcp.detail.http.addHeader":"Добавете заглавка на HTTP","settings.mcp.detail.http.bearerToken":"Променлива на средата за Bearer token","settings.mcp.detail.http.envHeaders":"Заглавки от променливи на средата","settings.mcp.detail.http.headers":"Заглавки","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Име","settings.mcp.detail.save":"Запазване","settings.mcp.detail.switchTransportNotice":"Ако искате да смените типа MCP сървър, първо го деинсталирайте.","settings.mcp.detail.titleExisting":"Актуализирайте MCP {name}","settings.mcp.detail.titleNew":"Свържете се с персонализиран MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Деинсталирайте","settings.mcp.empty":"Няма свързани персонализирани MCP сървъри","settings.mcp.myServers":"Персонализирани сървъри","settings.mcp.partnerServer.description.figma":"Създавайте по-добър код с пълен контекст от Figma","settings.mcp.partnerServer.description.github":"Интегрирайте с GitHub API, за да автоматизирате работни потоци и да извличате данни","settings.mcp.partnerServer.description.linear":"Интегрирайте с проследяването на задачи и управлението на проекти в Linear","settings.mcp.partnerServer.description.notion":"Преглед на документация, актуализиране на страници, управление на задачи","settings.mcp.partnerServer.description.playwright":"Интегрирайте автоматизацията на браузъра за реализиране на дизайна и тестване на интерфейса","settings.mcp.partnerServer.install":"Инсталиране","settings.mcp.partnerServer.installAndAuthenticate":"Инсталирайте и се удостоверете","settings.mcp.partnerServer.logoAlt":"Лого на {label}","settings.mcp.partnerServer.manage":"Управлявайте","settings.mcp.partnerServer.vendor":"от {vendor}","settings.mcp.recommendedServers":"Препоръчани сървъри","settings.mcp.restartApp":"Рестартирайте","settings.mcp.restartExtension":"Рестартирайте разширението","settings.mcp.server.enable":"Активиране","settings.mcp.server.login":"Удостоверете се","settings.mcp.server.settings":"Настройки","settings.multiselect.createOption":"Създай „{value}“","settings.multiselect.removeOption":"Премахване","settings.nav.account":"Акаунт","settings.nav.agent":"Kонфигурация","settings.nav.ariaLabel":"Настройки","settings.nav.back":"Обратно към апа","settings.nav.data-controls":"Архивирани разговори","settings.nav.environments":"Облачна среда","settings.nav.externalTooltip":"[alpha] Отваря се в браузъра","settings.nav.general-settings":"Основен","settings.nav.git-settings":"Git","settings.nav.local-environments":"Среди","settings.nav.mcp-settings":"Сървъри MCP","settings.nav.notImplemented":"[alpha] Недостъпно в Alpha","settings.nav.personalization":"Персонализиране","settings.nav.skills-settings":"Умения","settings.nav.usage-analytics":"Използване и анализи","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Назад","settings.openSourceLicenses.loading":"Зареждане…","settings.openSourceLicenses.missing":"Не бяха открити съобщения от трети страни.","settings.openSourceLicenses.notSupported":"Не е налично в този хост.","settings.openSourceLicenses.rowDescription":"Съобщения от трети страни за включените зависимости","settings.openSourceLicenses.rowLabel":"Лицензи с отворен код","settings.openSourceLicenses.subtitle":"Съобщения от трети страни за зависимостите, включени в този ап","settings.openSourceLicenses.title":"Лицензи с отворен код","settings.openSourceLicenses.view":"Преглед","settings.personalization.agents.description":"Редактирайте инструкциите, които адаптират Codex към вашите предпочитания. {learnMore}","settings.personalization.agents.learnMore":"Научете повече","settings.personalization.agents.loadError":"Неуспешно зареждане на agents.md.","settings.personalization.agents.loading":"Зареждане на agents.md…","settings.personalization.agents.placeholder":"Добавете своите персонализирани инструкции...","settings.personalization.agents.retry":"Опитайте отново","settings.personalization.agents.save":"Запазване","settings.personalization.agents.save.error":"Неуспешно запазване на agents.md","settings.personalization.agents.save.success":"Запазен agents.md","settings.personalization.agents.title":"Инструкции по избор","settings.personalization.personality.description":"Изберете стандартен тон за отговорите на Codex","settings.personalization.personality.label":"Личностни характеристики","settings.sample.contentBody":"Използвайте този изглед, за да оформите панелите с настройки с еднакви разстояния.","settings.sample.contentTitle":"Примерен блок със съдържание","settings.section.account":"Акаунт","settings.section.agent":"Kонфигурация","settings.section.data-controls":"Архивирани разговори","settings.section.environments":"Облачна среда","settings.section.external":"Отваря се в браузъра ви по време на Alpha","settings.section.general-settings":"Основен","settings.section.git-settings":"Git","settings.section.local-environments":"Среди","settings.section.mcp-settings":"Сървъри MCP","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"Свържете външни инструменти и източници на данни.","settings.section.personalization":"Персонализиране","settings.section.skills-settings":"Умения","settings.section.unavailable":"Все още не е налично в Alpha","settings.section.usage-analytics":"Използване и анализи","settings.section.worktrees":"worktrees","settings.threadDetail.description":"Изберете колко от изходните данни на командите да се показват в разговорите","settings.threadDetail.label":"Подробности за разговора","settings.worktrees.conversation.untitled":"Неозаглавен разговор","settings.worktrees.delete.error":"Неуспешно изтриване на worktree","settings.worktrees.empty.body":"worktree, създадени от Codex, ще се показват тук","settings.worktrees.empty.title":"Все още няма worktree","settings.worktrees.error.body":"Възникна проблем при зареждане на worktree.","settings.worktrees.error.retry":"Опитайте отново","settings.worktrees.error.title":"Неуспешно зареждане на worktree","settings.worktrees.loading.body":"Извличане на подробности за worktree.","settings.worktrees.loading.title":"Зареждане на worktree","settings.worktrees.repository.loading":"Зареждане на метаданни за хранилището…","settings.worktrees.repository.unknown":"Непознато хранилище","settings.worktrees.row.conversations":"Разговори","settings.worktrees.row.conversations.empty":"Няма разговори, свързани с този worktree.","settings.worktrees.row.conversations.loading":"Зареждане на разговори…","settings.worktrees.row.delete":"Изтриване","settings.worktrees.row.title":"worktree","sidebarElectron.addWorkspaceRoot":"Добавете нов проект","sidebarElectron.archiveThread":"Архивиране на нишката","sidebarElectron.archiveThreadError":"Неуспешно архивиране на нишката","sidebarElectron.collapseFolder":"Свийте папката","sidebarElectron.createStableWorktree.dialog.cancel":"Отмяна","sidebarElectron.createStableWorktree.dialog.create":"Създаване","sidebarElectron.debugNavLink":"Отстраняване на грешки","sidebarElectron.editWorkspaceRootOptionName":"Редактиране на името","sidebarElectron.expandFolder":"Разгънете папката","sidebarElectron.groupByMenu.recency":"Хронологичен списък","sidebarElectron.groupByMenu.title":"Организиране","sidebarElectron.groupByMenu.workspace":"По проект","sidebarElectron.inboxRouteNavLink":"Автоматизации","sidebarElectron.markThreadUnread":"Маркирайте като непрочетено","sidebarElectron.missingWorkspaceRoot":"Тази проектна папка е изтрита или преместена","sidebarElectron.newThread":"Нова нишка","sidebarElectron.newThreadInGroup":"Започнете нова нишка в {folder}","sidebarElectron.noRecentThreads":"Няма скорошни разговори","sidebarElectron.noTasks":"Няма нишки","sidebarElectron.noTasks.start":"Добавете нов проект","sidebarElectron.noTasksWithFilter":"Няма нишки, отговарящи на филтрите","sidebarElectron.pinnedThreads":"Закачени разговори","sidebarElectron.recentNavLink":"Разговори","sidebarElectron.recentThreads":"Скорошни разговори","sidebarElectron.removeWorkspaceRootOption":"Премахване","sidebarElectron.renameThread":"Преименуване на нишка","sidebarElectron.renameThreadDialogAriaLabel":"Заглавие на нишка","sidebarElectron.renameThreadDialogCancel":"Отказ","sidebarElectron.renameThreadDialogPlaceholder":"Добавете заглавие...","sidebarElectron.renameThreadDialogSave":"Запазване","sidebarElectron.renameThreadDialogSubtitle":"Нека е кратко и разпознаваемо.","sidebarElectron.renameThreadDialogTitle":"Преименуване на нишка","sidebarElectron.renameThreadError":"Неуспешно преименуване на нишка","sidebarElectron.renameWorkspaceRootOptionLabel":"Име за показване","sidebarElectron.showLess":"Покажете по-малко","sidebarElectron.showMenu.all":"Всички разговори","sidebarElectron.showMenu.relevant":"Уместен","sidebarElectron.showMenu.relevantHint":"Показвай само скорошните разговори за текущия клон, worktree или други разговори, които изискват внимание","sidebarElectron.showMenu.title":"Показване","sidebarElectron.showMenu.tooltip":"Филтриране, сортиране и организиране на разговори","sidebarElectron.showMenu.trigger":"Филтриране на нишки в страничната лента","sidebarElectron.showMore":"Покажете повече","sidebarElectron.skillsRouteNavLink":"Умения","sidebarElectron.sortMenu.created":"Създадено","sidebarElectron.sortMenu.title":"Сортиране по","sidebarElectron.sortMenu.updated":"Актуализирано","sidebarElectron.taskNavigation":"Папки за автоматизация","sidebarElectron.tasksInFolder":"Автоматизации в {folder}","sidebarElectron.workspaceOptions":"Действия за проект {folder}","sidebarElectron.worktreeGroupTooltip":"Това е git worktree","skills.appsPage.createSkill":"Ново умение","skills.appsPage.empty.skills":"Няма намерени модули","skills.appsPage.search.skills":"Търсете умения","skills.appsPage.search.skills.label":"Търсете умения","skills.appsPage.section.installedApps":"Инсталирано  ","skills.appsPage.section.skills":"Умения","skills.appsPage.subheading":"Разширете възможностите на Codex <link>Научете повече</link>","skills.appsPage.tab.recommended":"Препоръчителен","skills.appsPage.tab.skills":"Умения","skills.card.contentsError":"Не може да се зареди съдържание за умения.","skills.card.disable":"Деактивиране","skills.card.disableSuccess":"{skillName} модул е деактивиран","skills.card.disabledBadge":"Деактивиран","skills.card.enable":"Активиране","skills.card.enableSuccess":"{skillName} модул е активиран","skills.card.loadingContents":"Зареждане на съдържание за умения...","skills.card.more":"Още действия","skills.card.open":"Отворено","skills.card.removeFailed":"Неуспешно деинсталиране на модула","skills.card.removeSuccess":"{skillName} модул е деинсталиран","skills.card.toggleEnabledError":"Неуспешно обновяване на модула","skills.card.try":"Опитайте","skills.card.trySkill":"Изпробване на умение","skills.card.uninstall":"Деинсталирайте","skills.hero.dotLabel":"Отидете на слайд {index}","skills.hero.next":"Следващо препоръчано умение","skills.hero.trySkill":"Изпробване на умение","skills.page.createSkill":"Ново умение","skills.page.empty":"Няма намерени умения","skills.page.filteredEmpty":"Няма умения, които да отговарят на вашите филтри","skills.page.filteredEmptyDescription":"Опитайте да коригирате търсенето или филтрите за обхват","skills.page.heading":"Модули","skills.page.loading":"Зареждане на модули…","skills.page.refreshSkills":"Опресняване","skills.page.refreshSkillsToUseNew":"Опреснете, за да използвате новите модули","skills.page.search":"Търсете умения","skills.page.search.label":"Търсете умения","skills.page.subheading":"Разширете възможностите на Codex <link>Научете повече</link>","skills.preview.copyPrompt":"Копирайте подканата","skills.preview.examplePrompt":"Примерна подкана","skills.recommended.error":"Препоръчаните умения не могат да се заредят","skills.recommended.install":"Инсталиране","skills.recommended.installSkill":"Инсталирайте модул","skills.recommended.installSuccess":"{skillName} модул е инсталиран","skills.recommended.installed":"Инсталирано  ","skills.scope.admin":"Админ","skills.scope.adminInstalled":"Инсталиран админ","skills.scope.builtIn":"Система","skills.scope.personal":"Личен","skills.scope.repo":"Хранилище","skills.scope.system":"Система","skills.scope.team":"Team","skills.scope.user":"Потребител","skills.section.installed":"Инсталирано  ","skills.section.recommended":"Препоръчителен","story.slidingToggle.existing":"Съществуващ","story.slidingToggle.fromLocal":"От локалната система","story.slidingToggle.new":"Нов","story.slidingToggle.toLocal":"Към локалната система","terminal.close":"Затворете терминала","terminal.title":"Терминал","thinkingShimmer.default":"Мислене","threadEnvIcon.cloudTooltip":"Този разговор се изпълнява в Codex Cloud.","threadEnvIcon.localTooltip":"Този разговор се изпълнява локално.","threadEnvIcon.worktreeTooltip":"Този разговор се изпълнява в локално worktree на Git","threadHeader.archiveConfirmCancel":"Отказ","threadHeader.archiveConfirmConfirm":"Архивиране","threadHeader.archiveConfirmSubtitle":"Можете да го намерите по-късно в архивираните разговори.","threadHeader.archiveConfirmTitle":"Архивиране на разговора?","threadHeader.copyAppLink":"Копирайте директния линк","threadHeader.copySessionId":"Копирайте идентификатора на сесията","threadHeader.copyWorkingDirectory":"Копирайте работната директория","threadHeader.forkIntoLocal":"Разклонете в локален","threadHeader.forkIntoWorktree":"Разклонете в нов worktree","threadHeader.forkPendingWorktreePrompt":"Разклонете този разговор в нов worktree.","threadHeader.forkPendingWorktreeTitle":"Разклонен разговор","threadHeader.forkThreadError":"Неуспешно разклоняване на разговора","threadHeader.forkThreadRequiresGitRepo":"Разклоняването в нов worktree изисква git хранилище","threadHeader.moreActions":"Действия в разговора","threadPage.newThread":"Нов разговор","threadPage.runAction.changeEnvironment":"Сменете средата","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} действия","threadPage.runAction.environmentSelector.label":"Изберете среда","threadPage.runAction.label":"Изпълни","threadPage.runAction.missing.label":"Настройте действие за изпълнение","threadPage.runAction.setup.commandLabel":"Команда за изпълнение","threadPage.runAction.setup.description":"Кажете на Codex как да инсталира зависимости и да стартира апа ви.","threadPage.runAction.setup.editMore":"Настройки на средата","threadPage.runAction.setup.placeholder":"напр.: npm инсталиране npm изпълнение","threadPage.runAction.setup.submit":"Запази и изпълни","threadPage.runAction.setup.title":"Изпълни","threadPage.runAction.tooltip.withEnvironment":"{environmentName} действия","threadPage.toggleDiffPanel":"Показване или скриване на панела с разлики","threadPage.toggleTerminal":"Превключете терминала","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Отворете папка","toolSummaryForCmd.exploredFiles":"<verb>Списък</verb> с файлове","toolSummaryForCmd.exploredFilesInPath":"<verb>Списък</verb> на файловете в {path}","toolSummaryForCmd.exploringFiles":"Зареждане на <verb>списъка</verb> с файлове","toolSummaryForCmd.exploringFilesInPath":"<verb>Извеждане</verb> на файловете в {path}","toolSummaryForCmd.ranGenericCommand":"<status>Изпълни команда</status>{timer} ","toolSummaryForCmd.ranSpecificCommand":"<status>Изпълнено</status>{command}{timer}","toolSummaryForCmd.read":"<verb>Прочетени</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Изпълнява се команда</status>{timer}","toolSummaryForCmd.runningTimer":"за {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Търсено</verb> е за {query}","toolSummaryForCmd.searchedForFiles":"<verb>Търсени</verb> файлове","toolSummaryForCmd.searchedForInPath":"<verb>Търсено</verb> е за {query} в {path}","toolSummaryForCmd.searchingFor":"<verb>Търсене</verb> на {query}","toolSummaryForCmd.searchingForFiles":"<verb>Търсене</verb> на файлове","toolSummaryForCmd.searchingForInPath":"<verb>Търсене</verb> на {query} в {path}","traceRecording.details.noteLabel":"Какво правехте, когато това се случи? (по избор)","traceRecording.details.notePlaceholder":"Отворих голям разговор, след което многократно превключвах раздели…","traceRecording.details.submit":"Изпратете диагностичния запис","traceRecording.details.subtitle":"Можем да изпратим диагностичен запис за производителност, за да помогнем с установяването на проблеми с производителността.","traceRecording.details.title":"Да се изпрати ли диагностичен запис за производителността?","traceRecording.progress.subtitle":"Оставете Codex отворен, докато процесът приключи.","traceRecording.saving.title":"Запазване на диагностичния запис…","traceRecording.startDetails.cancel":"Отказ","traceRecording.startDetails.submit":"Добре, започнете записа","traceRecording.startDetails.subtitle":"След като натиснете „Добре“, възпроизведете проблема с производителността, след което изберете плаващия червен индикатор, за да спрете записа и да прегледате диагностичния запис.","traceRecording.startDetails.title":"Как работи диагностичният запис","traceRecording.stopButton.ariaLabel":"Спрете диагностичния запис","traceRecording.upload.successToast":"Диагностичният запис за производителност е изпратен.","traceRecording.uploading.title":"Изпращане на диагностичния запис…","wham.diff.addComment":"Добавяне на коментари","wham.diff.binaryFile":"Двоичният файл не е показан","wham.diff.noContent":"Няма съдържание","wham.fileTag.deleted":"Изтрито","wham.fileTag.new":"Нов","wham.formattedRelativeDateTime.compactDaysAgo":"{value}дни","wham.formattedRelativeDateTime.compactHoursAgo":"{value}час(а)","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}мин.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}мес.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}седм.","wham.formattedRelativeDateTime.compactYearsAgo":"{value}год.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Работа по вашата задача","wham.whamProposedTask.title":"Предложена задача","wham.whamProposedTask.useSuggestion":"Използвайте предложението","workspaceRootDialog.addError":"Неуспешно добавяне на проект","workspaceRootDialog.cancel":"Отказ","workspaceRootDialog.confirmAdd":"Добавете проект","workspaceRootDialog.confirmPick":"Използвайте проект","workspaceRootDialog.description":"Въведете път на {host}, който да използвате като проект","workspaceRootDialog.pathLabel":"Път до проекта","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Добавете път до проекта","workspaceRootDialog.title.pick":"Изберете път до проекта","worktreeInitV2.cancel":"Отказ","worktreeInitV2.notification.failedTitle":"Настройката на работното дърво не бе успешна","worktreeInitV2.output.empty":"Изчакване на резултат…","worktreeInitV2.status.error":"Настройката на worktree не бе успешна.","worktreeInitV2.status.running":"Създаване на worktree и изпълнение на настройката.","worktreeInitV2.status.runningFork":"Създаване на worktree за разклоняване на този разговор.","worktreeInitV2.status.success":"Worktree е готов.","worktreeInitV2.title":"Създаване на worktree","worktreeInitV2.workLocallyInstead":"Работете локално вместо това","worktreeRestoreBanner.body":"Worktree на този процес беше премахнат, за да се освободи място на диска","worktreeRestoreBanner.missing.body":"Работната директория на този разговор вече не съществува","worktreeRestoreBanner.missing.title":"Текущата работна директория липсва","worktreeRestoreBanner.restore.error":"неуспешно възстановяване на worktree: {message}","worktreeRestoreBanner.restore.success":"worktree е възстановен","worktreeRestoreBanner.restoreCta":"Възстановяване на worktree","worktreeRestoreBanner.title":"worktree е почистен"};export{e as default};
+const e={"CopyButton.copyTooltip":"Копиране","app.sidebar.hide":"Скрийте страничния панел","app.sidebar.show":"Покажете страничния панел","app.sidebar.tooltip":"Превключване на страничната лента","appHeader.installUpdate":"Актуализиране","appSunset.body":"Тази версия на апа вече не се поддържа. Моля, изтеглете най-новата версия <here>оттук</here>.","appSunset.title":"Изисква се актуализация","automation.updateDirective.create":"Създаване","automation.updateDirective.open":"Отворено","automation.updateDirective.untitled":"Автоматизация без име","automation.updateDirective.update":"Актуализиране","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# опит} other {# опити}}","cloudTaskRow.archiveError":"Неуспешно архивиране на задача","code.diff.requestChange":"Поискайте промяна","code.diffComment.cancel":"Отмяна","code.diffComment.comment":"Коментар","code.diffComment.delete":"Изтриване","code.diffComment.save":"Запазване","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Не са докладвани находки.","codex.alert.closeAriaLabel":"Затваряне","codex.appUpsellBanner.cbpApi.message":"Създавайте по-бързо с апа Codex. Изтеглете го сега или {learnMoreLink}.","codex.appUpsellBanner.download":"Изтегляне","codex.appUpsellBanner.freeGo.message":"Codex е включен във вашия план до 2 март. Опитайте апа Codex, за да създавате по-бързо.","codex.appUpsellBanner.later":"По късно","codex.appUpsellBanner.learnMoreLowercase":"Научете повече","codex.appUpsellBanner.new":"Нов","codex.appUpsellBanner.proPlusBusiness.message":"Опитайте апа Codex с двойни лимити до 2 април. Изтеглете го сега или {learnMoreLink}.","codex.appUpsellBanner.title":"Апът Codex","codex.applyDropdown.header.changes":"Промени","codex.applyDropdown.header.fileCount":"{count, plural, one {# файл} other {# файлa}}","codex.applyDropdown.header.rows":"реда","codex.applyDropdown.header.title":"Приложете промените","codex.applyDropdown.header.workspace":"Проект","codex.applyDropdown.results.conflicted":"{count, plural, one {1 файл в конфликт:} other {{count} файла в конфликт:}}","codex.applyDropdown.results.empty":"Не са копирани файлове","codex.applyDropdown.results.skipped":"{count, plural, one {1 файл пропуснат:} other {{count} файла пропуснати:}}","codex.applyOrRevertBanner.apply":"Приложи промените","codex.applyOrRevertBanner.applyMessage":"Искате ли да приложите промените и да продължите локално?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Тази задача е създадена в {environment}, затова може да не се приложи коректно.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Промените са направени в {environment}, затова може да не се приложат коректно.","codex.applyOrRevertBanner.reapply":"Приложете отново","codex.applyOrRevertBanner.revert":"Върнете обратно","codex.applyOrRevertBanner.revertMessage":"Искате ли да върнете приложените промени?","codex.applyResultsDialog.applied":"Приложено коректно ({count})","codex.applyResultsDialog.close":"Затваряне","codex.applyResultsDialog.conflicted":"С конфликт ({count})","codex.applyResultsDialog.noDetails":"Няма налични данни за файла.","codex.applyResultsDialog.skipped":"Пропуснато ({count})","codex.applyResultsDialog.title":"Приложете резултатите","codex.archiveInfo":"Вижте архивираните разговори в {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Контрол на данните","codex.archiveInfo.electron":"Прегледайте архивираните разговори в {settingsLink}.","codex.archiveInfo.extension":"Вижте архивираните разговори в папката .codex.","codex.archiveInfo.settingsLink":"Настройки","codex.banner.content.description":"Изпълнявайте задачите паралелно, следете напредъка навсякъде и преглеждайте PR файлове с помощта на ИИ.","codex.banner.content.headline":"Codex върши всичко.","codex.cloudTaskRow.archiveTask":"Архивирайте задачата","codex.cloudTaskRow.confirmArchiveTask":"Потвърждаване","codex.command.feedback":"Отзиви, обратна връзка","codex.command.findInThread":"Търсене","codex.command.forceReloadSkills":"Принудително презареждане на умения","codex.command.logOut":"Излизане от акаунта","codex.command.manageTasks":"Управление на задачи","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Назад","codex.command.navigateForward":"Напред","codex.command.newThread":"Нов разговор","codex.command.nextThread":"Следващ разговор","codex.command.openFolder":"Отворете папка","codex.command.openSkills":"Към модулите","codex.command.openThreadOverlay":"Отворете разговора в нов прозорец","codex.command.personalitySettings":"Личностни характеристики","codex.command.previousThread":"Предишен разговор","codex.command.settings":"Настройки","codex.command.toggleDiffPanel":"Показване или скриване на панела с разлики","codex.command.toggleSidebar":"Превключване на страничната лента","codex.command.toggleTerminal":"Превключете терминала","codex.commandGroup.app":"Ап","codex.commandGroup.configure":"Конфигуриране","codex.commandGroup.navigation":"Навигация","codex.commandGroup.panels":"Секции","codex.commandGroup.skills":"Умения","codex.commandGroup.thread":"Разговор","codex.commandGroup.workspace":"Проект","codex.commandMenu.noResults":"Няма съвпадения","codex.commandMenu.searchPlaceholder":"Търсене на команди","codex.commandMenu.suggestedGroup":"Предложени","codex.commandMenu.switchWorkspace":"Сменете проекта","codex.commandMenu.title":"Меню команди","codex.common.retry":"Опитайте отново","codex.composer.searchBranches":"Търсене на клонове","codex.dialog.basic.body":"Това е примерен диалогов прозорец, създаден чрез нашия компонент за Radix Dialog.","codex.dialog.basic.cancel":"Отмяна","codex.dialog.basic.confirm":"Потвърждаване","codex.dialog.basic.open":"Отворете диалога","codex.dialog.basic.title":"Примерен диалог","codex.dialog.long.close":"Затваряне","codex.dialog.long.line":"Ред за превъртане {index}, който демонстрира дълго съдържание в диалоговия прозорец.","codex.dialog.long.open":"Отворете дълъг диалог","codex.dialog.long.title":"Диалог с дълго съдържание","codex.dialog.unstyled.body":"Тази демонстрация показва как съдържанието на диалоговия прозорец може да се стилизира изцяло","codex.dialog.unstyled.open":"Отворете диалогов прозорец без оформление","codex.dialog.unstyled.title":"Съдържание без оформление","codex.diff.openInEditorPrompt.openButton":"Отворете в редактора","codex.diff.openInEditorPrompt.singleLine":"Този файл е твърде голям, за да се покаже тук.","codex.diffView.failedToDecodeBase64Diff":"Грешка при декодиране на base64 diff.","codex.diffView.filesChanged":"{fileCount, plural, one {# променен файл} other {# променени файлове}}","codex.diffView.imagePreviewAlt":"Преглед на изображението","codex.diffView.imagePreviewEmpty":"Няма изображение","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Няма diff данни","codex.diffView.pdfPreview.nextPage":"Следваща страница","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Предишна страница","codex.diffView.pdfPreviewEmpty":"Няма визуализация на PDF","codex.diffView.pdfPreviewError":"Не може да се визуализира PDF преглед","codex.diffView.richPreviewDisable":"Изключете разширения преглед","codex.diffView.richPreviewEnable":"Включете разширения преглед","codex.diffView.richPreviewLoading":"Зареждане на преглед...","codex.diffView.richPreviewToggle":"Включване/изключване на разширения преглед","codex.diffView.switchToUnified":"Превключете към unified diff","codex.environmentSelector.noEnvironment":"Няма среда","codex.environments.environmentSettings":"Настройки на средата","codex.environments.learnMore":"Научете повече","codex.environments.listError":"Неуспешно зареждане на средите.","codex.environments.noEnvironmentsFound":"Няма намерени среди","codex.environments.searchError":"Грешка при търсене на средите.","codex.errorBoundary.genericError":"Възникна грешка","codex.errorBoundary.goHome":"Опитайте пак","codex.file.patch.missing":"Неуспешно създаване на patch за този файл.","codex.gallery.automations.cwdLabel":"Проекти","codex.gallery.automations.nameLabel":"Име","codex.gallery.automations.namePlaceholder":"Обобщете задачата","codex.gallery.automations.promptLabel":"Подкана","codex.gallery.automations.promptPlaceholder":"Опишете какво трябва да направи Codex","codex.gallery.dialogs.automation.label":"Диалогов прозорец за автоматизация","codex.gallery.dialogs.basic.body":"Използвайте това оформление за бързи потвърждения или кратки формуляри.","codex.gallery.dialogs.basic.cancel":"Отказ","codex.gallery.dialogs.basic.confirm":"Потвърждаване","codex.gallery.dialogs.basic.label":"Основен диалогов прозорец","codex.gallery.dialogs.basic.title":"Основен диалогов прозорец","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Опишете проблема","codex.gallery.dialogs.feedbackSubmission.bad":"Лош резултат","codex.gallery.dialogs.feedbackSubmission.bug":"Грешка/бъг","codex.gallery.dialogs.feedbackSubmission.good":"Добър резултат","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Включете текущите логове от Codex сесията","codex.gallery.dialogs.feedbackSubmission.label":"Изпращане на отзив","codex.gallery.dialogs.feedbackSubmission.other":"Друго","codex.gallery.dialogs.feedbackSubmission.placeholder":"Опишете проблема тук","codex.gallery.dialogs.feedbackSubmission.submit":"Изпратете","codex.gallery.dialogs.feedbackSubmission.title":"Отзиви, обратна връзка","codex.gallery.dialogs.feedbackSuccess.body":"Отзивът е качен. Ако проблемът продължава, отворете сигнал в GitHub или посочете идентификатора на разговора в съществуващ отворен сигнал:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Отхвърлете","codex.gallery.dialogs.feedbackSuccess.label":"Отзивът е изпратен успешно","codex.gallery.dialogs.feedbackSuccess.title":"Обратната връзка е качена","codex.gallery.dialogs.gitApplyResults.applied":"Приложено без конфликти (2)","codex.gallery.dialogs.gitApplyResults.close":"Затваряне","codex.gallery.dialogs.gitApplyResults.conflicted":"С конфликти (1)","codex.gallery.dialogs.gitApplyResults.label":"Приложете резултатите","codex.gallery.dialogs.gitApplyResults.title":"Приложете резултатите","codex.gallery.dialogs.gitPushError.body":"Изтеглете последните промени или изпратете принудително промените, ако знаете, че е безопасно да презапишете историята в отдалеченото хранилище.","codex.gallery.dialogs.gitPushError.cancel":"Отказ","codex.gallery.dialogs.gitPushError.force":"Принудително изпращане на промените","codex.gallery.dialogs.gitPushError.label":"Грешка при изпращане","codex.gallery.dialogs.gitPushError.subtitle":"Вашият клон изостава спрямо origin/main.","codex.gallery.dialogs.gitPushError.title":"Неуспешно изпращане на промените","codex.gallery.dialogs.gitRevert.cancel":"Отказ","codex.gallery.dialogs.gitRevert.confirm":"Върнете обратно","codex.gallery.dialogs.gitRevert.label":"Върнете промените","codex.gallery.dialogs.gitRevert.skip":"Не питайте отново","codex.gallery.dialogs.gitRevert.subtitle":"Това действие премахва всички тези промени.","codex.gallery.dialogs.gitRevert.title":"Да върнем ли промените?","codex.gallery.dialogs.longForm.label":"Диалогов прозорец за дълъг текст","codex.gallery.dialogs.proseModal.body":"Този тип диалогов прозорец се използва за по-дълги инструкции, въвеждане в системата или богати блокове със съдържание.","codex.gallery.dialogs.proseModal.close":"Затваряне","codex.gallery.dialogs.proseModal.subtitle":"Споделете тук по-подробни указания или документация.","codex.gallery.dialogs.proseModal.title":"Текстов диалогов прозорец","codex.gallery.dialogs.submitBlocked.label":"Изпращането е блокирано","codex.gallery.dialogs.submitBlocked.message":"Съобщението ви не можа да бъде изпратено, защото проектът не е наличен.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Неуспешно изпращане на съобщението","codex.gallery.dialogs.title":"Диалогови прозорци","codex.gallery.dropdown.filterPlaceholder":"Филтриране на елементи","codex.gallery.dropdowns.actionRow":"Редове с действия","codex.gallery.dropdowns.actionRow.disabled":"Деактивирано действие","codex.gallery.dropdowns.actionRow.primary":"Основно действие","codex.gallery.dropdowns.actionRow.secondary":"Допълнително действие","codex.gallery.dropdowns.actionRow.trigger":"Покажете действията","codex.gallery.dropdowns.basic":"Основно падащо меню","codex.gallery.dropdowns.basic.newFile":"Нов файл","codex.gallery.dropdowns.basic.newFolder":"Нова папка","codex.gallery.dropdowns.basic.openSettings":"Отворете настройките","codex.gallery.dropdowns.basic.title":"Бързи действия","codex.gallery.dropdowns.basic.trigger":"Отворете менюто","codex.gallery.dropdowns.basic.upload":"Качване","codex.gallery.dropdowns.panel":"Повърхност на панела","codex.gallery.dropdowns.panel.apply":"Приложи промените","codex.gallery.dropdowns.panel.body":"Проверете промените и ги приложете към проекта си","codex.gallery.dropdowns.panel.preview":"Предварителен преглед","codex.gallery.dropdowns.panel.title":"Приложете промените","codex.gallery.dropdowns.panel.trigger":"Отворете панела","codex.gallery.dropdowns.search":"Падащо меню с търсене","codex.gallery.dropdowns.search.first":"Алфа канал","codex.gallery.dropdowns.search.second":"Beta клон","codex.gallery.dropdowns.search.third":"Кандидат за издание","codex.gallery.dropdowns.search.trigger":"Филтриране на елементи","codex.gallery.dropdowns.submenu":"Падащо меню с подменю","codex.gallery.dropdowns.submenu.optionA":"Проект Alpha","codex.gallery.dropdowns.submenu.optionB":"Проект Beta","codex.gallery.dropdowns.submenu.optionC":"Проект Gamma","codex.gallery.dropdowns.submenu.primary":"Задайте собственик","codex.gallery.dropdowns.submenu.secondary":"Преместете в","codex.gallery.dropdowns.submenu.tertiary":"Архивиране","codex.gallery.dropdowns.submenu.trigger":"Изберете действие","codex.gallery.dropdowns.title":"Падащи менюта","codex.gallery.inbox.automations.close":"Затваряне","codex.gallery.inbox.automations.popover.cardTitle":"Управление на автоматизации","codex.gallery.inbox.automations.popover.dialogTitle":"Управление на автоматизации","codex.header.settingsTooltip":"Настройки","codex.hunk.patch.error":"Неуспешно подготвяне ","codex.hunk.patch.missing":"Неуспешно създаване на patch за този hunk.","codex.hunk.patch.partialSuccess":"Частичен успех.","codex.hunk.patch.revertError":"Неуспешно оттегляне от commit","codex.hunk.patch.revertSuccess":"Успешно оттеглен от commit","codex.hunk.patch.success":"Успешно подготвен за commit","codex.legal.autonomy.details":"За повече информация вижте {link}","codex.legal.autonomy.details.link":"Документация на Codex","codex.legal.autonomy.title":"Изберете колко автономност искате да предоставите","codex.legal.backButton":"Назад","codex.legal.cloud.taskOne.meta":"openai/agi · 12 октомври","codex.legal.cloud.taskOne.title":"Обяснете това хранилище така, че нов дизайнер да го разбере","codex.legal.cloud.taskThree.meta":"openai/codex · 8 октомври","codex.legal.cloud.taskThree.stats.negative":"-123*","codex.legal.cloud.taskThree.stats.positive":"+249*","codex.legal.cloud.taskThree.title":"Създайте тема в тъмен режим","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 октомври","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Поправете грешка в процеса на въвеждане","codex.legal.continue.apikey":"Продължете","codex.legal.continueButton":"Напред","codex.legal.copilot.details":"Вашият Copilot план се използва за всички извиквания към моделите, таксуването и лимитите. Използването на Codex разширението е подчинено и на {oaiTos}, и на {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Условия за ползване на GitHub","codex.legal.copilot.oaiTosLink":"Условия за ползване на OpenAI Codex","codex.legal.copilot.title":"Работи чрез GitHub Copilot","codex.legal.mistakes.review":"Прегледайте кода, който генерира, и командите, които изпълнява","codex.legal.mistakes.title":"Codex може да допуска грешки","codex.legal.powered.details":"Използва лимитите на вашия план и {link}","codex.legal.powered.details.link":"Предпочитания за използване на данните ви за обучение","codex.legal.powered.title":"Работи чрез вашия ChatGPT акаунт","codex.legal.step.cloud.subtitle":"Изпращайте задачи към Codex за фоново изпълнение, за да продължите спокойно работата си и да работите по-бързо.","codex.legal.step.cloud.title":"Предайте задачата на Codex в облака","codex.legal.step.intro.subtitle":"Codex навигира, редактира, изпълнява команди и стартира тестове директно във вашето хранилище. Работи чрез вашия ChatGPT акаунт.","codex.legal.step.intro.title":"Codex във вашата IDE","codex.legal.step.todo.subtitle":"Напишете TODO коментар и го преобразувайте в Codex задача с едно щракване.","codex.legal.step.todo.title":"Преобразувайте TODO-та в Codex задачи","codex.legal.todo.heading":"// TODO: implement schema","codex.localConversation.closeImagePreview":"Затворете прегледа на изображението","codex.localConversation.userImageAttachment":"Прикачен файл от потребителя","codex.localTaskRow.archiveTask":"Архивиране на нишката","codex.localTaskRow.awaitingApproval":"Очаква одобрение","codex.localTaskRow.awaitingResponse":"В очакване на отговор","codex.localTaskRow.confirmArchiveTask":"Потвърждаване","codex.loggedOut.apiKeyPrompt.cancel":"Отмяна","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Вземете API ключ","codex.loggedOut.apiKeyPrompt.inputLabel":"Въведете вашия OpenAI API ключ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Облачните задачи са изключени при използване на API ключ","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Облачните задачи са изключени при използване на Copilot и API ключ","codex.loggedOut.signIn":"Впишете се с ChatGPT","codex.loggedOut.signIn.cancel":"Отменете влизането","codex.loggedOut.signInWithCopilot":"Впишете се с GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Използвайте API ключ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Инструмент {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Извикан","codex.mcpTool.collapsedLabel.verb.calling":"Извикване","codex.mcpTool.embeddedResource.contentLabel":"Съдържание","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME тип","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Инструментът не върна съдържание","codex.mcpTool.rawPayloadHeading":"Суров полезен товар за извикване на {server}.{tool} инструмент","codex.menu.recent":"Последни","codex.menu.seeAllHistory":"Вижте цялата хронология","codex.modelCapacityBanner.headline.noReset":"{modelName} е с изчерпан капацитет в момента. Опитайте отново по-късно или започнете нов разговор с друг модел.","codex.modelCapacityBanner.headline.withReset":"{modelName} е с изчерпан капацитет в момента. Опитайте отново след {resetDate} или започнете нов разговор с друг модел.","codex.modelCapacityBanner.title":"Избраният модел е с изчерпан капацитет","codex.patch.change.contentsDeleted":"Съдържанието е изтрито","codex.patch.change.created":"Създадено","codex.patch.change.created-file":"Файлът е създаден","codex.patch.change.creating":"Създаване","codex.patch.change.deleted":"Изтрито","codex.patch.change.deleted-file":"Файлът е изтрит","codex.patch.change.deleting":"Изтриване","codex.patch.change.edited":"Редактирано","codex.patch.change.edited-file":"Редактиран файл","codex.patch.change.editing":"Редактиране","codex.patch.change.noChanges":"Няма промени","codex.patch.change.rejected-add":"Отхвърлено","codex.patch.change.rejected-delete":"Отхвърлено","codex.patch.change.rejected-edit":"Отхвърлено","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} от {total} задачи са изпълнени","codex.plan.todoListCreated":"Списък със задачи, създаден с {total} задачи","codex.profileDropdown.apiKeyAuth":"Вписани сте с API ключ","codex.profileDropdown.codexSettings":"Настройки на Codex","codex.profileDropdown.copilotAuth":"Вписани сте чрез Copilot","codex.profileDropdown.defaultAccountTitle":"Основен акаунт","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter, за да изпращате дълги подсказки","codex.profileDropdown.enterBehaviorError":"Грешка при обновяване на настройката","codex.profileDropdown.getPlus":"Надстройте за по-високи ограничения","codex.profileDropdown.keyboardShortcuts":"Клавиши за пряк път","codex.profileDropdown.language":"Език","codex.profileDropdown.languageDefault":"Автоматично разпознаване","codex.profileDropdown.languageSearchPlaceholder":"Търсене на езици","codex.profileDropdown.languageUpdateError":"Неуспешно актуализиране на езика","codex.profileDropdown.logOut":"Излизане от акаунта","codex.profileDropdown.mcp":"Настройки на MCP","codex.profileDropdown.openConfigToml":"Отворете config.toml","codex.profileDropdown.openConfigToml.wsl":"Отворете config.toml в WSL среда","codex.profileDropdown.openExtensionSettings":"Отворете настройките","codex.profileDropdown.openMcpSettings":"Отворете MCP настройките","codex.profileDropdown.openOnStartup":"Отворете при стартиране","codex.profileDropdown.openOnStartupError":"Грешка при обновяване на настройката","codex.profileDropdown.openSkillsSettings":"Отворете настройките на модулите","codex.profileDropdown.personalAccountTitle":"Личен акаунт","codex.profileDropdown.queueFollowUps":"Поставяне на последващи заявки в опашка","codex.profileDropdown.queueFollowUpsError":"Грешка при обновяване на настройката","codex.profileDropdown.readDocs":"Прочетете документацията","codex.profileDropdown.readSkillsDocs":"Прочетете документацията","codex.profileDropdown.runInWsl":"Стартирайте в WSL","codex.profileDropdown.runInWslError":"Грешка при обновяване на настройката","codex.profileDropdown.runInWslTooltip":"Стартира Codex вътре в WSL. Препоръчително е за по-добра сигурност в sandbox среда и по-висока производителност.","codex.profileDropdown.settings":"IDE настройки","codex.profileDropdown.settingsPage":"Настройки","codex.profileDropdown.signInWithOpenAI":"Впишете се с ChatGPT","codex.profileDropdown.skills":"Настройки на модулите","codex.profileDropdown.switchToCopilotAccount":"Използвайте Copilot акаунт","codex.profileDropdown.switchToOpenAIAccount":"Използвайте OpenAI акаунт","codex.profileDropdown.todoCodelens":"Коригирайте TODO коментарите","codex.profileDropdown.todoCodelensError":"Грешка при обновяване на настройката","codex.profileDropdown.windowsDocumentation":"Документация за Windows","codex.profileFooter.signedInFallback":"Настройки","codex.profileFooter.upgrade":"Обновление","codex.recentTasksMenu.clearSearch":"Изчистете търсенето","codex.recentTasksMenu.cloud":"Облачни задачи","codex.recentTasksMenu.count":"{count, plural, =0 {Няма текущи задачи} one {# текуща задача} other {# задачи в процес на изпълнение}}","codex.recentTasksMenu.empty":"Все още няма нишки","codex.recentTasksMenu.errorCloud":"Грешка при зареждане на задачите.","codex.recentTasksMenu.errorCloud.inline":"Грешка при зареждане на облачните задачи.","codex.recentTasksMenu.filterAll":"Всички","codex.recentTasksMenu.filterCloudTasks":"Филтрирайте облачните задачи","codex.recentTasksMenu.filterTooltip":"Филтрирайте задачите по среда","codex.recentTasksMenu.local":"Локални задачи","codex.recentTasksMenu.recent":"Всички задачи","codex.recentTasksMenu.search":"Търсете скорошните задачи","codex.recentTasksMenu.searchEmpty":"Няма резултат","codex.recentTasksMenu.tooltip":"Хронология на задачата","codex.recentTasksMenu.trigger":"Последни задачи. {count, plural, one {# в процес на изпълнение} other {# в процес на изпълнение}}","codex.remoteConversation.applyDiff.applyCta":"Приложете промените","codex.remoteConversation.applyDiff.dropdownTitle":"Приложете промените в локалния branch","codex.remoteConversation.applyDiff.revertCta":"Върнете промените","codex.remoteConversation.closeImagePreview":"Затворете прегледа на изображението","codex.remoteConversation.codexCloudTask":"Преглеждате  <u>облачна Codex</u> задача ","codex.remoteConversation.errorWithMessage":"Грешка: {message}","codex.remoteConversation.loadingImage":"Зареждане на изображението","codex.remoteConversation.openInWeb":"Отворете в интернет","codex.remoteConversation.streaming":"Първи стъпки","codex.remoteConversation.turnFailed":"Възникна грешка по време на тази задача","codex.remoteConversation.turnTab.loading":"Опит {number}","codex.remoteConversation.turnTab.title":"Опит {number}","codex.remoteConversation.userImageAttachment":"Прикачен файл от потребителя","codex.remoteConversation.viewPreviousTurns":"Отворете в интернет","codex.remoteConversation.viewPreviousTurns.buttonText":"Отворено","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Отворете в интернет","codex.review.copyGitApplyCommand":"Копирайте командата git apply","codex.review.copyGitApplyCommand.toast":"Командата git apply е копирана в клипборда","codex.review.diffTooLarge.description":"Тази разлика е твърде голяма, за да се покаже в прегледа.","codex.review.diffTooLarge.title":"Разликите са твърде големи, за да бъдат показани","codex.review.expandOrCollapseDiffButton.collapse":"Свийте всички разлики","codex.review.expandOrCollapseDiffButton.expand":"Разгънете всички разлики","codex.review.expandOrCollapseDiffMenu.collapse":"Свийте всички разлики","codex.review.expandOrCollapseDiffMenu.expand":"Разгънете всички разлики","codex.review.fileSearch.clear":"Изчистете филтъра за файлове","codex.review.fileSearch.empty":"Няма файлове, които отговарят на текущия филтър.","codex.review.fileSearch.label":"Филтър за файлове","codex.review.fileSearch.placeholder":"Филтър за файлове…","codex.review.filesChanged":"{num, plural, =0 {Няма променени файлове} one {# файл е променен} other {# файла са променени}}","codex.review.find.loadMore":"Заредете още съвпадения","codex.review.fullReview.hideFileTree":"Скрийте списъка с файловете","codex.review.fullReview.showFileTree":"Покажете списъка с файловете","codex.review.header.moreOptions":"Опции за преглед","codex.review.largeDiff.banner":"Открита е голяма разлика. Показва се по един файл наведнъж.","codex.review.loadFullFiles.disable":"Не зареждайте пълните файлове","codex.review.loadFullFiles.enable":"Заредете пълните файлове","codex.review.noDiff":"Промените по файловете ще се покажат тук","codex.review.noDiff.gitInit.createRepository":"Създайте git хранилище","codex.review.noDiff.gitInit.creating":"Създаване...","codex.review.noDiff.gitInit.error":"Неуспешно инициализиране на Git: {message}","codex.review.noDiff.gitInit.success":"Git хранилището е създадено","codex.review.noDiff.gitRepoRequired.description":"Проследявайте и отменяйте промените в този проект","codex.review.noDiff.gitRepoRequired.title":"Създайте Git хранилище","codex.review.noDiff.orNoLongerAvailable":"или последните разлики вече не са налични","codex.review.noDiff.reverted":"Последната стъпка е върната","codex.review.noDiff.revertedOrCommitted":"Последната стъпка е била върната или записана","codex.review.refreshGitQueries":"Опресняване","codex.review.revert.file.error":"Неуспешно връщане на {path}","codex.review.revert.file.partialSuccess":"Частично върнат {path}","codex.review.revert.file.success":"Върнат {path}","codex.review.revert.hunk.error":"Неуспешно връщане на част {hunkNumber}  в {path}","codex.review.revert.hunk.partialSuccess":"Частично върната част {hunkNumber} в {path}","codex.review.revert.hunk.success":"Върната част {hunkNumber} in {path}","codex.review.revert.section.error":"Неуспешно връщане на секция","codex.review.revert.section.partialSuccess":"Секцията е частично върната","codex.review.revert.section.success":"Секцията е върната","codex.review.revertDialog.cancel":"Отказ","codex.review.revertDialog.confirm":"Потвърждаване","codex.review.revertDialog.message":"Това действие премахва всички тези промени.","codex.review.revertDialog.skip":"Не питайте отново","codex.review.revertDialog.title":"Да върнем ли промените?","codex.review.richPreview.disable":"Изключете разширения преглед","codex.review.richPreview.enable":"Включете разширения преглед","codex.review.source.cloud":"Промени в облака","codex.review.source.local.all":"Всички промени по клоновете","codex.review.source.local.lastTurn":"Промени от последния ход","codex.review.source.local.uncommitted":"Незаписани промени","codex.review.source.worktree":"Незаписани промени във worktree","codex.review.stageFilter.empty.staged.description":"Приемете редакциите и ги подгответе за запис","codex.review.stageFilter.empty.staged.title":"Няма подготвени промени","codex.review.stageFilter.empty.unstaged.description":"Тук ще се показват промените в кода","codex.review.stageFilter.empty.unstaged.title":"Няма неподготвени промени","codex.review.stageFilter.staged":"Подготвени за commit","codex.review.stageFilter.staged.count":"Подготвени за commit · {count}","codex.review.stageFilter.unstaged":"Неподготвени за commit","codex.review.stageFilter.unstaged.count":"Неподготвени за commit · {count}","codex.review.switchToSplit":"Преминете към разделен diff изглед","codex.review.switchToUnified":"Превключете към unified diff","codex.review.toggleDiffView":"Превключване на diff изгледа","codex.review.wordDiffs.disable":"Изключете разликите по думи","codex.review.wordDiffs.enable":"Включете разликите по думи","codex.review.wrap.disable":"Изключете пренасянето на редове","codex.review.wrap.enable":"Включете пренасянето на редове","codex.section.patch.missing":"Неуспешно създаване на patch за тази секция.","codex.shell.collapse":"Свийте shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Shell съдържанието е копирано","codex.shell.copy.copyTooltip":"Копирайте shell съдържанието","codex.shell.copyCommand":"Копирайте командата","codex.shell.copyOutput":"Копирайте изхода","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Разгънете shell","codex.shell.name":"Shell","codex.shell.noOutput":"Няма изход","codex.signInFailed.message":"Неуспешно влизане: {rawMessage}","codex.stories.toast.show":"Показване на Toast","codex.stories.tooltip.basic":"Това е пояснение (tooltip)","codex.stories.tooltip.hoverMe":"Задръжте курсора върху мен","codex.stories.tooltip.largerOffset":"Този tooltip има по-голям отстъп","codex.stories.tooltip.offsetButton":"По-голямо изместване на tooltip-а","codex.stories.tooltip.shortcutButton":"С клавишна комбинация","codex.stories.tooltip.withShortcut":"Превключете терминала","codex.taskRow.title":"Нов разговор","codex.taskRowLayout.confirm":"Потвърждаване","codex.threadFindBar.chatFilter":"Търсене в чатове","codex.threadFindBar.close":"Затваряне на търсенето","codex.threadFindBar.diffFilter":"Търсене в разликите","codex.threadFindBar.label":"Търсене в разговора","codex.threadFindBar.nextResult":"Следващ резултат","codex.threadFindBar.noResults":"0 резултати","codex.threadFindBar.placeholder":"Търсене в разговора…","codex.threadFindBar.placeholder.extension":"Търсене в разговора…","codex.threadFindBar.placeholder.review":"Търсене в разликите...","codex.threadFindBar.placeholder.review.extension":"Търсене в разликите...","codex.threadFindBar.previousResult":"Предишен резултат","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# файл е променен} other {# файла са променени}}","codex.unifiedDiff.inlineLargeFile":"Твърде голямо за показване директно","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Отменете","codex.unifiedDiff.revertPatchError":"Грешка при връщане на промените","codex.unifiedDiff.revertPatchSuccess":"Промените са върнати","codex.unifiedDiff.reviewChangesSuffix":"промени","codex.unifiedDiff.reviewShort":"Преглед","codex.unifiedDiff.viewDiffTooltip":"Преглед","codex.upsellBanner.business.headline":"За да получите повече достъп още сега, изпратете заявка до вашия администратор или изчакайте до {resetDate}.","codex.upsellBanner.cbp.headline":"За да получите по-голям достъп сега, изпратете заявка до своя администратор.","codex.upsellBanner.cta.addCredits":"Добавяне на кредити","codex.upsellBanner.cta.upgradeAccount":"Обновление","codex.upsellBanner.cta.viewUsage":"Преглед на използването","codex.upsellBanner.free.trialHeadline":"Лимитът ви за заявки се нулира на {resetDate}. За да продължите да използвате Codex и да получите достъп до GPT-5.3-Codex, започнете безплатния си пробен период на Plus още днес.","codex.upsellBanner.freeOrGo.headline":"Лимитът на заявките ви се нулира на {resetDate}. За да продължите да използвате Codex, надградете до Plus още днес.","codex.upsellBanner.general.headline":"Лимитът на заявките ви се нулира на {resetDate}.","codex.upsellBanner.general.title":"Изчерпахте съобщенията в Codex.","codex.upsellBanner.go.trialHeadline":"Лимитът ви за заявки се нулира на {resetDate}. За да продължите да използвате Codex, стартирайте безплатния пробен период на Plus още днес.","codex.upsellBanner.plus.headline":"Лимитът ви се нулира на {resetDate}. За да продължите да използвате Codex, добавете кредити или надстройте до Pro още днес.","codex.upsellBanner.pro.headline":"Лимитът ви се нулира на {resetDate}. Добавете кредити, за да продължите да използвате Codex сега.","codex.userMessage.autoResolveSync":"Автоматично разрешаване на конфликти","codex.userMessage.commentCount":"{count, plural, one {# коментар} other {# коментара}}","codex.userMessage.copiedAriaLabel":"Копирано","codex.userMessage.copiedTooltip":"Копирано","codex.userMessage.copyAriaLabel":"Копиране на съобщение","codex.userMessage.copyTooltip":"Копиране","codex.userMessage.implementPlan":"План за изпълнение","codex.userMessage.noContent":"(Няма съдържание)","codex.userMessage.priorConversation":"Позовава се на предишен разговор","codex.userMessage.reviewMode":"Режим за преглед","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"за {query}","codex.webSearch.summary.verb.completed":"Потърсено в интернет","codex.webSearch.summary.verb.inProgress":"Търсене в интернет","codex.windowsInstallWslBanner.dismiss":"Отхвърлете","codex.windowsInstallWslBanner.installWslCta":"Активирайте средата sandbox","codex.windowsInstallWslBanner.learnMore":"Научете повече","codex.windowsSandboxBanner.content":"Режимът „Агент“ използва експериментална sandbox среда в Windows, за да ограничи достъпа до файловата система и мрежата. {sandboxLink}","codex.windowsSandboxBanner.title":"Активирайте средата sandbox за режим „Агент“.","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Настройки на Windows","codexUpgradeModal.body":"Най-новият ни от нов клас модел с агент за програмиране - по-интелигентен, по-бърз и с по-широки възможности за обща техническа работа. {link}","codexUpgradeModal.close":"Затваряне","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Научете повече","codexUpgradeModal.title":"Представяме GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Изпробвайте GPT-5.3-Codex сега","codexUpgradeModal.useExistingModel":"Продължете с текущия модел","commentAttachments.numComments":"{count, plural, one {# коментар} other {# коментара}}","commentAttachments.removeAriaLabel":"Премахнете прикачения файл към коментарите","common.close":"Затваряне","composer.addContext.openFilePickerError":"Неуспешно отваряне на прозореца за избор на файл","composer.addContextDropdown.ariaLabel":"Добавяне на файлове и др.","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Добавяне на файлове и др.","composer.addPhotosAndFiles":"Добавяне на снимки и файлове","composer.atMentionList.emptyQuery":"Въведете текст, за да търсите файлове","composer.atMentionList.loading":"Търсене...","composer.atMentionList.noResults":"Няма резултати","composer.attemptsSelector.option":"{count, plural, one {# версия} other {# версии}}","composer.attemptsSelector.tooltip":"Брой паралелни опити, които Codex да извърши","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Стоп","composer.cloudFollowUp.cloud":"Облак","composer.cloudFollowUp.local":"Локално","composer.cloudFollowUp.whereRun":"Къде трябва да се изпълни този последващ етап?","composer.cloudTaskCreationError":"Грешка при създаване на облачна задача","composer.cloudTaskError":"Грешка при създаване на задача","composer.contextWindow.autoCompactionTooltipLine1":"Codex автоматично съкращава контекста си","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Контекстен прозорец:","composer.contextWindowUsageStatusFull":"{usage}% запълнена","composer.contextWindowUsageStatusLeft":"{usage}% използвани ({remaining}% остават)","composer.contextWindowUsageTooltip":"{usedTokens} k / {contextWindow} k използвани tokens","composer.customCliTooltip":"Използване на персонализиран изпълним файл за команден ред (CLI)","composer.dictation.aria":"Диктувайте","composer.dictation.cancel.aria":"Спри диктуването","composer.dictation.cancel.tooltip":"Спри диктуването","composer.dictation.startError":"Неуспешно стартиране на диктовката","composer.dictation.submit.aria":"Транскрибирайте и изпратете","composer.dictation.submit.tooltip":"Транскрибирайте и изпратете","composer.dictation.tooltip":"Задръжте, за да диктувате","composer.dictation.transcribeError":"Неуспешна транскрипция на аудиото","composer.dictation.unsupported":"Диктовката не е налична на това устройство","composer.dropOverlay.holdShift":"Задръжте {key}, за да пуснете","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Създаване на нов","composer.environmentSelector.error":"Грешка при зареждане на средите","composer.environmentSelector.goBack":"Назад към съставяне на съобщението","composer.environmentSelector.title":"Изберете среда","composer.environmentSelector.tooltip":"Изберете облачна среда","composer.feedbackSlashCommand.title":"Отзиви, обратна връзка","composer.filePicker.selectFile":"Изберете файл","composer.filePicker.selectFiles":"Изберете файлове","composer.followerTooltip":"За да продължите, върнете се в прозореца, от който започна разговорът.","composer.footer.branchSwitch.checkoutError":"Неуспешно превключване на branch: {message}","composer.footer.branchSwitch.createAndCheckout":"Създаване и преминаване към нов branch…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Направете commit, за да се създаде и използва нов branch","composer.footer.branchSwitch.createBranchError":"Неуспешно създаване на branch: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Име на клон","composer.footer.branchSwitch.createDialog.branchExistsError":"Branch с това име вече съществува.","composer.footer.branchSwitch.createDialog.close":"Затваряне","composer.footer.branchSwitch.createDialog.createAndCheckout":"Създаване и преминаване","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Създаване и преминаване към branch","composer.footer.branchSwitch.createDialog.trailingSlashError":"Името на branch не може да завършва  с(ъс) „/“.","composer.footer.branchSwitch.tooltip":"Превключване на branch","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Запишете промените в {fileCount, plural, one {# файл} other {# файлa}}, за да преминете към {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"промени в {fileCount, plural, one {# файл} other {# файлa}}, за да преминете към {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Отказ","composer.footer.branchSwitch.uncommittedDialog.commit":"Commit и превключване на branch…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Вашите промени по следните файлове ще бъдат презаписани при превключване:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Моля, направете commit на промените си, за да продължите","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"избраният branch","composer.footer.branchSwitch.uncommittedDialog.title":"Commit на промените за превключване на branch","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Без commit: {fileCount, plural, one {# файл} other {# файлa}}","composer.forkSlashCommand.description":"Разклонете този разговор в локален или нов worktree","composer.forkSlashCommand.option.local.description":"Продължете в нов локален разговор","composer.forkSlashCommand.option.local.title":"Разклонете в локален","composer.forkSlashCommand.option.worktree.description":"Продължете в нов worktree","composer.forkSlashCommand.option.worktree.title":"Разклонете в нов worktree","composer.forkSlashCommand.title":"Разклонете","composer.ideContextIndicator":"Контекст на средата за разработка (IDE)","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Включете контекст от средата за разработка","composer.ideContextIndicator.tooltipToggle":"за превключване","composer.ideContextSlashCommand.disableDescription":"Изключете контекста от средата за разработка","composer.ideContextSlashCommand.enableDescription":"Включете текущия избор, отворените файлове и друг контекст от средата за разработка","composer.ideContextSlashCommand.title":"Контекст на средата за разработка (IDE)","composer.imageInputsUnsupported":"Този модел не поддържа входящи изображения. Опитайте с друг модел.","composer.imageUploadFailed":"Грешка при качване на изображението","composer.includeIdeContextDropdown":"Включете контекст от средата за разработка (IDE)","composer.includeIdeContextDropdown.ariaLabel":"Включете контекст от средата за разработка (IDE)","composer.localCwdDropdown.addWorkspaceRoot":"Добавете нов проект","composer.localCwdDropdown.noActiveRoot":"Изберете проект","composer.localCwdDropdown.noResults":"Не са намерени папки","composer.localCwdDropdown.title":"Изберете проект","composer.localTaskError":"Грешка при стартиране на разговора","composer.mcpSlashCommand.description":"Показване на статус на MCP сървър","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Не е удостоверен","composer.mcpStatus.authOauth":"Удостоверен (OAuth)","composer.mcpStatus.authToken":"Удостоверен (API ключ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Затваряне","composer.mcpStatus.disabled":"Деактивиран","composer.mcpStatus.emptyLabel":"Сървъри:","composer.mcpStatus.emptyValue":"Не са конфигурирани MCP сървъри","composer.mcpStatus.enabled":"Активиран","composer.mcpStatus.errorLabel":"Статус:","composer.mcpStatus.errorValue":"Не може да се зареди статус на MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Превключете режима","composer.mode.agentMode.custom":"Персонализирани","composer.mode.agentMode.custom.dropdownLabel":"Персонализирани","composer.mode.agentMode.custom.option":"Персонализирано (config.toml)","composer.mode.agentMode.custom.optionLabel":"Персонализирано (config.toml)","composer.mode.agentMode.customInfo.cancel":"Отмяна","composer.mode.agentMode.customInfo.cli":"Можете да коригирате тези настройки чрез CLI или като редактирате файла директно.","composer.mode.agentMode.customInfo.confirm":"Използвайте персонализиран режим","composer.mode.agentMode.customInfo.description":"Персонализираният режим прилага правилата за одобрение и sandbox политиките, дефинирани във вашия<link>config.toml</link>файл.","composer.mode.agentMode.customInfo.docs":"Научете повече за конфигурирането на правилата за одобрение и sandbox политиките в<link>документацията за изпълнителната среда</link>.","composer.mode.agentMode.customInfo.refresh":"Всички промени влизат в сила при следващото стартиране на агента.","composer.mode.agentMode.customInfo.title":"Как работи персонализираният режим","composer.mode.agentMode.fullAccess":"Agent (пълен достъп)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (пълен достъп)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (пълен достъп)","composer.mode.agentMode.fullAccessConfirm.caution":"Бъдете внимателни при включване на пълен достъп. Това значително увеличава риска от загуба на данни, изтичане или неочаквано поведение.","composer.mode.agentMode.fullAccessConfirm.confirm":"Да, продължете въпреки това","composer.mode.agentMode.fullAccessConfirm.description":"Когато Codex работи с пълен достъп, може да редактира всеки файл на вашия компютър и да изпълнява команди с достъп до мрежата без ваше одобрение.","composer.mode.agentMode.fullAccessConfirm.goBack":"Отмяна","composer.mode.agentMode.fullAccessConfirm.title":"Да се включи ли пълният достъп?","composer.mode.agentMode.readOnly":"Чат","composer.mode.agentMode.readOnly.dropdownLabel":"Чат","composer.mode.agentMode.readOnly.optionLabel":"Чат","composer.mode.agentMode.tooltip":"Превключете режима","composer.mode.agentMode.tooltip.auto":"Четете и редактирайте файлове и изпълнявайте команди.","composer.mode.agentMode.tooltip.custom":"Използвайте най-новите правила за одобрение и sandbox политики от config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex може да редактира файлове извън проекта и да изпълнява команди с достъп до мрежата. Използвайте с повишено внимание.","composer.mode.agentMode.tooltip.readOnly":"Изисква одобрение за редактиране на файлове и изпълнение на команди.","composer.mode.cloud.tooltip":"Работа в облачна среда","composer.mode.contactAdmin":"За да получите повече достъп, свържете се с вашия администратор","composer.mode.local":"Локално","composer.mode.local.learnMore":"Научете повече","composer.mode.local.model.custom":"Потребителска настройка","composer.mode.local.model.loadingModel":"Зареждане на модела","composer.mode.local.model.selecrReasoningEffort":"Изберете режим на разсъждаване","composer.mode.local.model.selectModel":"Изберете модел","composer.mode.local.model.tooltip":"Изберете модел","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Високо ниво","composer.mode.local.reasoning.low.label":"Ниско ниво","composer.mode.local.reasoning.medium.label":"Умерено ниво","composer.mode.local.reasoning.minimal.label":"Минимален","composer.mode.local.reasoning.none.label":"Нито едно","composer.mode.local.reasoning.xhigh.label":"Много високо","composer.mode.localRemoteWhereRun":"Изберете къде да се изпълни задачата","composer.mode.newTask.header":"Продължи в","composer.mode.rateLimit.day":"{days}дни","composer.mode.rateLimit.heading":"Оставащи лимити","composer.mode.rateLimit.hour":"{hours}час(а)","composer.mode.rateLimit.minute":"{minutes}мин.","composer.mode.rateLimit.modelSectionLabel":"Лимит за {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {седмичен лимит} other {{weeks} -седмичен лимит}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Всяка седмица} other {{weeks} -седмичен}}","composer.mode.remote.connectToCloud":"Свържете Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Настройте среда чрез Codex web, за да можете да изпращате задачи към облака","composer.mode.remote.selectEnvironment":"Изберете среда","composer.mode.remote.sendToCloud":"Изпратете в облака","composer.mode.remote.setupViaWeb":"Настройване на среда чрез Codex web","composer.mode.runInCloud":"Облак","composer.mode.runInCloudWithEnvironment":"Облак · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Работа в облачна среда","composer.mode.segmentedToggle.local.tooltip":"Работете по локалния си проект","composer.mode.segmentedToggle.worktree.tooltip":"Работа в паралелно worktree","composer.mode.upgradeToPlus":"Подобрете до Plus","composer.mode.upgradeToPro":"Надградете до Pro","composer.mode.workLocally":"Локален проект","composer.mode.workLocally.currentBranchFallback":"вашия branch","composer.mode.workLocally.tooltip":"Работа по {branchName}","composer.mode.worktree":"Ново worktree ","composer.mode.worktree.submoduleWarning":"Това хранилище съдържа git подмодули. Създаването на worktree може да е неуспешно","composer.mode.worktree.tooltip":"Създайте копие на локалния си проект за паралелна работа","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Смяната на модела по време на разговор ще влоши производителността.","composer.newChat.heading.browser":"Какво да кодираме след това?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex използва разрешенията, дефинирани в config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex има пълен достъп до компютъра Ви (повишен риск).","composer.permissionsDropdown.custom.label":"Персонализирано (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Персонализирано (config.toml)","composer.permissionsDropdown.default.label":"Разрешения по подразбиране","composer.permissionsDropdown.default.optionLabel":"Разрешения по подразбиране","composer.permissionsDropdown.default.tooltip":"Codex автоматично изпълнява команди в среда sandbox.","composer.permissionsDropdown.disabled.requirements":"Разрешенията са заключени от requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Пълният достъп е изключен от requirements.toml","composer.permissionsDropdown.fullAccess.label":"Пълен достъп","composer.permissionsDropdown.fullAccess.optionLabel":"Пълен достъп","composer.permissionsDropdown.trigger.tooltip":"Променете разрешенията","composer.personalitySlashCommand.description.friendly":"Топъл, приятелски и полезен","composer.personalitySlashCommand.description.pragmatic":"Кратък, ориентиран към задачите и ясен","composer.personalitySlashCommand.label.friendly":"Дружелюбен","composer.personalitySlashCommand.label.pragmatic":"Прагматичен","composer.personalitySlashCommand.notApplicableSuffix":"(Не се прилага за текущия модел)","composer.personalitySlashCommand.title":"Личностни характеристики","composer.placeholder.cloudFollowUp.directFollowUp":"Проследяване на тази cloud задача","composer.placeholder.cloudFollowUp.local":"Създайте нова локална задача, свързана с тази cloud задача","composer.placeholder.cloudFollowUp.workingTree":"Създайте нова cloud задача, която включва текущия ви код и ще е свързана с тази задача","composer.placeholder.localFollowUp.cloud":"Проследяване в нова cloud задача","composer.placeholder.localFollowUp.locally":"Поискайте промени за последващите действия","composer.placeholder.newTask.cloud":"Поискайте Codex да изпълни нещо в облака","composer.placeholder.newTask.doAnything":"Поискайте от Codex да направи нещо","composer.placeholder.newTask.locally":"Попитайте Codex за всичко, използвайте @ за добавяне на файлове и / за команди","composer.planModeDropdown":"Режим „План“","composer.planModeDropdown.ariaLabel":"Режим „План“","composer.planModeIndicator":"План","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Създайте план с Codex","composer.planModeIndicator.tooltipToggle":"за превключване","composer.planSlashCommand.disableDescription":"Изключете режим „План“","composer.planSlashCommand.enableDescription":"Включете режим „План“","composer.planSlashCommand.title":"Режим „План“","composer.priorContext.label":"Предишен контекст","composer.priorContext.removeAriaLabel":"Премахване на предишния контекст","composer.queuedMessage.delete":"Изтриване на съобщение на опашката","composer.queuedMessage.edit":"Редактирайте съобщението","composer.queuedMessage.more":"Действия за съобщението на опашката","composer.queuedMessage.sendNow":"Насочване","composer.queuedMessage.sendNowTooltip":"Изпратете веднага, без да прекъсвате работата","composer.queuedMessage.turnOff":"Изключване на подреждането на опашка","composer.reasoningEffort.local.reasoning.tooltip":"Изберете ниво на разсъждаване","composer.remote.branchStartingPoint":"От кой клон да започне тази задача?","composer.remote.branchesSectionHeading":"Клонове","composer.remote.currentEditsSuffix.followUp":"Създайте нова задача, която препраща към тази облачна задача.","composer.remote.currentEditsSuffix.useLocal":"с локални промени по кода  ","composer.remote.directFollowUp":"Не използвайте локалните промени","composer.remote.errorLoadingBranches":"Грешка при зареждане на клоновете","composer.remote.fromBranch":"От {branch}","composer.remote.fromCurrentBranch":"От {branch} (текущ)","composer.remote.loadingMoreBranches":"Зареждане…","composer.remote.localFileStateHeading":"Състояние на локалния файл  ","composer.remote.localWorkingTree":"Използвайте локалните промени","composer.remote.startingPoint":"От кой код да започне тази задача?","composer.reviewMode.branches.error":"Неуспешно зареждане на клоновете","composer.reviewMode.branches.retry":"Опитайте отново","composer.reviewMode.gitRoot.error":"Git root не е намерен","composer.reviewMode.option.baseBranch.simple":"Преглед спрямо основен клон","composer.reviewMode.option.unstaged.simple":"Преглед на непотвърдените промени","composer.reviewMode.quickReviewError":"Грешка при стартиране на code review","composer.reviewMode.title":"Преглед на кода","composer.sandboxButton.unlock.disabled.tooltip":"Пълният достъп е изключен от requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex може да използва експериментална среда sandbox в Windows, за да ограничи достъпа до файловата система и мрежата. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Да се активира ли средата sandbox в Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Само за четене","composer.searchEnvironments":"Търсене на среди","composer.skillMentionList.app":"Ап","composer.skillMentionList.loading":"Зареждане на модули…","composer.skillMentionList.noResults":"Няма намерени модули","composer.slashCommands.cloudEnvironment.title":"Облачна среда","composer.slashCommands.dialogLabel":"Меню за slash команди","composer.slashCommands.dialogTitle":"Slash команди","composer.slashCommands.disabledTooltip":"Започнете нов разговор, за да използвате slash команди","composer.slashCommands.inputPlaceholder":"Търсене","composer.slashCommands.noResults":"Няма команди","composer.slashCommands.skillsGroup":"Умения","composer.slashCommands.tooltip":"Прегледайте slash командите","composer.status.close":"Затваряне","composer.statusPlain.alertLabel":"Предупреждение:","composer.statusPlain.alertValue":"{remaining}% остава от {window}","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} използвани / {total})","composer.statusPlain.contextValueRemaining":"Остава {remaining}%","composer.statusPlain.heading":"Статус","composer.statusPlain.modelRateLimitSectionLabel":"Лимит за {modelName}:","composer.statusPlain.rateLimitDays":"{count} дневен лимит","composer.statusPlain.rateLimitFallbackLabel":"Ограничение на честотата:","composer.statusPlain.rateLimitHours":"{count} часов лимит","composer.statusPlain.rateLimitLabelBase":"Ограничение на честотата","composer.statusPlain.rateLimitMinutes":"{count} минутен лимит","composer.statusPlain.rateLimitPercent":"Остава {remaining}%","composer.statusPlain.rateLimitReset":"Нулирания {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"времето за нулиране не е налично","composer.statusPlain.rateLimitUnavailable":"Недостъпен","composer.statusPlain.sessionCopiedAriaLabel":"Копиране на сесия ID","composer.statusPlain.sessionCopiedTooltip":"Копирано ID","composer.statusPlain.sessionCopyAriaLabel":"Копиране на сесия ID","composer.statusPlain.sessionCopyTooltip":"Копирайте ID","composer.statusPlain.sessionLabel":"Сесия:","composer.statusSlashCommand.description":"Покажете ID на нишката, използването на контекст и ограниченията на честотата","composer.statusSlashCommand.title":"Статус","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Неуспешно изпращане на съобщението","composer.submit.emptyMessage":"Въведете съобщение, за да започнете","composer.submit.imageInputsUnsupported":"Премахнете изображенията или сменете модела, за да изпратите това съобщение.","composer.submit.loadingLocalConfig":"Зареждане…","composer.submit.missingCloudConfig":"Трябва да изберете облачна среда","composer.submit.missingCloudTurn":"Не може да се продължи с тази задача","composer.submit.noWorkspace":"Добавете проект, за да използвате Codex","composer.submit.waitForImageUploads":"Качване на изображения…","composer.submitButtonTooltip.send":"Изпращане","composer.submitButtonTooltip.stop":"Стоп","composer.worktreeEnvironment.create":"Създайте локална среда","composer.worktreeEnvironment.default":"Среда по подразбиране","composer.worktreeEnvironment.error":"Грешка при зареждане на средите","composer.worktreeEnvironment.loading":"Зареждане на среди...","composer.worktreeEnvironment.title":"Локална среда","composer.worktreeEnvironment.tooltip":"Изберете локална среда","composer.worktreeSetupFailed":"Настройката на worktree не бе успешна. Проверете .codex/environments за скрипт за настройка.","compoundButton.secondaryAction":"Допълнително действие","copyButton.copied":"Копирано","copyButton.copiedAriaLabel":"Копирано","copyButton.copy":"Копиране","copyButton.copyAriaLabel":"Копиране","copyButton.copyCode":"Копиране на код","diff.actionButton.revertFile":"Върни файла","diff.actionButton.revertHunk":"Върнете обратно","diff.actionButton.revertSection":"Върни всички","diff.actionButton.revertSectionLabel":"Отменете всички промени","diff.actionButton.stageFile":"Подготви файла за commit","diff.actionButton.stageHunk":"Подгответе за commit","diff.actionButton.stageSection":"Подготви всички за commit","diff.actionButton.stageSectionLabel":"Подгответе всички промени","diff.actionButton.unstageFile":"Премахнете файла от подготовка за commit","diff.actionButton.unstageHunk":"Премахнете от подготовка за commit","diff.actionButton.unstageSection":"Премахни всички от подготвените за commit","diff.actionButton.unstageSectionLabel":"Премахнете всички подготвени промени","diff.fileHeader.toggle":"Показване/скриване на разликите във файла","electron.onboarding.login.apikey.cancel":"Отказ","electron.onboarding.login.apikey.continue":"Продължете","electron.onboarding.login.apikey.label":"API ключ на OpenAI","electron.onboarding.login.apikey.open":"Въведете API ключ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Отменете влизането","electron.onboarding.login.chatgpt.continue":"Продължете с ChatGPT","electron.onboarding.login.devbox":"Свързване с отдалечен сървър чрез защитена връзка (Secure Shell)","electron.onboarding.login.error":"Неуспешно влизане: {rawMessage}","electron.onboarding.login.snake.start":"Играйте Snake","electron.onboarding.login.sshConfig.cancel":"Отказ","electron.onboarding.login.sshConfig.continue":"Продължете","electron.onboarding.login.sshConfig.hostnameLabel":"Име на отдалечения сървър (Secure Shell)","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Най-добрият начин да създавате с агенти","electron.onboarding.login.title":"Добре дошли в Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Продължете","electron.onboarding.welcome.doubleLimits.description":"В чест на старта на апа Codex разполагате с двойни лимити за заявки до 2 април.","electron.onboarding.welcome.freego.description":"Codex е включен безплатно в плана ви до 2 март – нека започнем да създаваме заедно.","electron.onboarding.welcome.new.title.anon":"Добре дошли!","electron.onboarding.workspace.continue":"Продължете","electron.onboarding.workspace.empty":"Добавете проект, за да продължите","electron.onboarding.workspace.listLabel":"Налични проекти","electron.onboarding.workspace.loading":"Зареждане на проектите…","electron.onboarding.workspace.openFolder":"Добавете проект","electron.onboarding.workspace.selectAll":"Изберете всички","electron.onboarding.workspace.skip":"Пропускане","electron.onboarding.workspace.skip.error":"Не успяхме да създадем нов проект: {message}","electron.onboarding.workspace.skip.error.unknown":"Неизвестна грешка","electron.onboarding.workspace.skipping":"Създаване на нов проект…","electron.onboarding.workspace.subtitle":"Codex ще може да редактира файлове и да изпълнява команди в избрани папки.","electron.onboarding.workspace.title":"Избор на проект","errorPage.list.checkSettings":"Опитайте се да обновите вашите IDE настройки","errorPage.list.configToml":"Проверете config.toml за невалидни настройки","errorPage.list.downloadExtension":"Опитайте се да изтеглите друга версия на разширението","errorPage.list.runInWsl":"Проверете настройките си, за да изключите работа в WSL, ако имате проблеми със съвместимостта","execApprovalRequest.menu.runAlways":"Да, и не питайте отново в тази сесия","execApprovalRequest.menu.runAlwaysWithAmendment":"Да, и не питай отново за команди, които започват с {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Да, и не питайте отново за команди, които започват с","execApprovalRequest.menu.runOnce":"Да","execApprovalRequest.prompt":"Искате ли да изпълните тази команда?","execApprovalRequest.reject":"Не","execFooter.exitCode":"Код за изход: {code}","execFooter.exitCode.unknown":"неизвестно","execFooter.success":"Успех","feedback.dialog.category.badResult":"Лош резултат","feedback.dialog.category.bug":"Грешка/бъг","feedback.dialog.category.goodResult":"Добър резултат","feedback.dialog.category.other":"Друго","feedback.dialog.descriptionPlaceholder":"Опишете проблема тук","feedback.dialog.dismiss":"Отхвърлете","feedback.dialog.includeLogsLabel":"Включете текущите логове от Codex сесията","feedback.dialog.submit":"Изпратете","feedback.dialog.submitError":"Не успяхме да изпратим обратната връзка. Моля, опитайте отново след малко.","feedback.dialog.title":"Отзиви, обратна връзка","feedback.dialog.uploadedMessage.existingIssue":"съществуващ отворен проблем","feedback.dialog.uploadedMessage.openIssue":"Подайте сигнал в GitHub","feedback.dialog.uploadedMessage.withThread":"Обратната връзка е качена. Ако проблемът продължи, моля {openIssueLink} или посочете ID на нишката в {existingIssueLink}:","feedback.dialog.uploadedTitle":"Обратната връзка е качена","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Премахване на {filename}","header.back":"Назад","header.recentChats":"Задачи","header.recentTasks.seeAll":"Вижте всички ({total})","home.header.getPlus":"Вземете Plus","home.hero.letsBuild":"Да започнем","homePage.mainContent":"Основно съдържание","imageAttachment.defaultName":"изображение","imageAttachment.preview.close":"Затворете прегледа на изображението","imageAttachment.removeAriaLabel":"Премахване на {filename}","implementPlanRequest.option.implement":"Да, изпълнете този план","implementPlanRequest.prompt":"Да се изпълни ли този план?","inbox.archived.deleteError":"Неуспешно изтриване на архивираното изпълнение","inbox.archived.deleteRun":"Изтрийте архивираното изпълнение","inbox.archived.deleteSuccess":"Архивираният разговор е изтрит. <settingsLink>Вижте архивиран разговор</settingsLink>.","inbox.archived.inlineLabel.auto":"Този разговор беше архивиран автоматично. <learnMoreLink>Научете повече</learnMoreLink>","inbox.archived.inlineLabel.manual":"Този разговор е архивиран.","inbox.archived.noMessageFound":"Няма намерени съобщения","inbox.automations.createError":"Не успяхме да създадем автоматизация","inbox.automations.deleteConfirm.cancel":"Отказ","inbox.automations.deleteConfirm.confirm":"Изтриване на автоматизацията","inbox.automations.deleteConfirm.description":"Това ще изтрие автоматизацията окончателно и ще спре всички бъдещи изпълнения.","inbox.automations.deleteConfirm.title":"Изтриване на {name}?","inbox.automations.deleteError":"Неуспешно изтриване на автоматизацията","inbox.automations.editTooltip":"Редактиране на автоматизацията","inbox.automations.inProgress":"В процес на изпълнение","inbox.automations.new":"Нов","inbox.automations.newToolbar":"Нова автоматизация","inbox.automations.pauseTooltip":"Поставете автоматизацията на пауза","inbox.automations.resumeTooltip":"Възобновете автоматизацията","inbox.automations.startingNow":"Започва сега","inbox.automations.startsIn":"Започва след {startTime}","inbox.automations.status.active":"Активен","inbox.automations.status.paused":"На пауза","inbox.automations.status.runs":"{count} изпълнение","inbox.automations.status.started":"Стартирано {date}","inbox.automations.updateError":"Неуспешно обновяване на автоматизацията","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Всички","inbox.filter.ariaLabel":"Филтрирайте елементите във входящата поща","inbox.filter.unread":"Непрочетено","inbox.list.archived":"Архивиране","inbox.list.inProgress":"В процес на изпълнение","inbox.list.recent":"Завършено","inbox.list.upNext":"Насрочено","inbox.mode.automations":"Автоматизации","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Няма предоставено описание.","inbox.openThread":"Отворете нишката","inbox.rightPanel.emptySubtitle":"Автоматизирайте работата чрез планирани задачи","inbox.rightPanel.emptySubtitle.learnMore":"Автоматизирайте работата чрез планирани задачи <link>Научете повече</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# активна автоматизация} other {# активни автоматизации}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Няма непрочетени автоматизации","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# непрочетена автоматизация} other {# непрочетени автоматизации}}","inbox.rightPanel.emptyTitle":"Няма избран елемент","inbox.rightPanel.noThread":"Няма нишка за този елемент","inbox.rightPanel.quickStart.header":"Започнете с шаблон","inbox.untitled":"Елемент във входящата поща без заглавие","loadingPage.documentationLink":"документация","loadingPage.errorDescription":"Codex прекъсна с тази грешка:","loadingPage.errorDescription.documentation":"Щракнете върху „Презареждане“, за да рестартирате разширението Codex, или посетете {documentationLink} за допълнителна помощ.","loadingPage.errorSignal":"Някои неща, които да опитате:","loadingPage.errorTitle":"Възникна грешка","loadingPage.openConfigToml":"Отворете config.toml","loadingPage.reload":"Презареждане","localConversation.contextCompacted":"Контекстът е автоматично съкратен","localConversation.contextCompacting":"Автоматично съкращаване на контекста","localConversation.forkedFromConversation":"Разклонено от {threadTitle}","localConversation.merge.autoResolve.failed":"Неуспешна заявка за автоматично решаване: {error}","localConversation.merge.autoResolve.sent":"Заявката за автоматично решаване е изпратена","localConversation.merge.autoResolveMerge.missingConversation":"Не може да се използва автоматично решаване без активен разговор.","localConversation.merge.autoResolveMerge.request":"Автоматично решете конфликтите при сливане","localConversation.modelChanged":"Моделът е променен от {fromModel} на {toModel}.","localConversation.modelChanged.warning.line1":"Смяната на модела по време на разговор ще влоши производителността.","localConversation.modelChanged.warning.line2":"Контекстът може да бъде автоматично съкратен.","localConversation.moveThread.createBranch.label":"Създаване на branch","localConversation.moveToLocal.disabled.loading":"Зареждане…","localConversation.moveToLocal.modal.continue":"Продължете","localConversation.moveToLocal.modal.destinationLabel":"Преместете в","localConversation.moveToLocal.modal.retry":"Опитайте отново","localConversation.moveToWorktree.modal.back":"Назад","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Branch с това име вече съществува.","localConversation.moveToWorktree.modal.branchesError":"Неуспешно зареждане на клоновете","localConversation.moveToWorktree.modal.branchesLoading":"Зареждане на клоновете…","localConversation.moveToWorktree.modal.branchesRetry":"Опитайте отново","localConversation.moveToWorktree.modal.continue":"Продължете","localConversation.moveToWorktree.modal.retry":"Опитайте отново","localConversation.moveToWorktree.modal.trailingSlashError":"Името на branch не може да завършва  с(ъс) „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"Превключено към личностен стил {personality}","localConversation.planSummary.collapse":"Свийте обобщението на плана","localConversation.planSummary.collapseTooltip":"Свийте","localConversation.planSummary.download":"Изтеглете плана","localConversation.planSummary.expand":"Разгънете обобщението на плана","localConversation.planSummary.expandTooltip":"Разгънете","localConversation.planSummary.openInNewWindow":"Отворено","localConversation.planSummary.openInNewWindow.tooltip":"Отворете в нов прозорец","localConversation.planSummary.title":"План","localConversation.planSummary.titleWriting":"План за писане","localConversation.planSummary.viewPlan":"Разширете плана","localConversation.remoteTaskCreated":"Създадено {taskLink} в Codex Cloud","localConversation.remoteTaskCreated.task":"задача","localConversation.scrollToBottomButton":"Плъзнете до долу","localConversation.sync.buttonLabel":"Прехвърлете към локалната среда","localConversation.sync.buttonLabel.tooltip":"Предавайте промените между този worktree и локалното ви копие.","localConversation.sync.modal.loading.title":"Прехвърляне на промените…","localConversation.sync.modal.noChanges":"Няма промени","localConversation.syncSetup.branchAriaLabel":"Име на клон","localConversation.syncSetup.branchName":"Име на клон","localConversation.syncSetup.branchPlaceholder.existing":"Изберете съществуващ клон","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Зареждане на клоновете…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Вече е активен","localConversation.syncSetup.checkoutClean":"В момента сте на {branchName}","localConversation.syncSetup.checkoutDirty":"В момента сте на {branchName} с незаписани промени","localConversation.syncSetup.checkoutError":"Неуспешно превключване към клон: {message}","localConversation.syncSetup.checkoutLabel":"Активирайте локално сега","localConversation.syncSetup.checkoutOnLocal":"Прехвърлете към локалната среда","localConversation.syncSetup.checkoutPending":"Проверка на локалния статус…","localConversation.syncSetup.checkoutUnavailable":"Локалното работно пространство не е налично","localConversation.syncSetup.checkoutUnknown":"Локалният клон не е наличен","localConversation.syncSetup.continue":"Продължете","localConversation.syncSetup.createBranchError":"Неуспешно задаване на клон за прехвърляне: {message}","localConversation.syncSetup.error":"Възникна проблем: {message}","localConversation.syncSetup.error.workingTreeMissing":"Неуспешно създаване на snapshot на worktree. Моля, опитайте отново с прехвърлянето.","localConversation.syncSetup.mode.ariaLabel":"Изберете режим за клон","localConversation.syncSetup.mode.existing":"Съществуващ клон","localConversation.syncSetup.mode.new":"Нов клон","localConversation.syncSetup.noBranches":"Не са открити клонове","localConversation.syncSetup.overwriteError":"Клонът е създаден, но не е напълно прехвърлен. Прехвърлете ръчно преди локално превключване.","localConversation.syncSetup.setPrefix":"Задайте префикс","localConversation.syncSetup.subtitle":"Тествайте и редактирайте промените в worktree локално. <a>Научете повече</a>","localConversation.syncSetup.success.checkedOut":"Клонът е създаден и е активен локално","localConversation.syncSetup.success.notCheckedOut":"Клонът е създаден","localConversation.syncSetup.title":"Прехвърлете към локален клон","localConversation.syncWorktreeError.branchAriaLabel":"Име на клон","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Изберете клон за прехвърляне, след което опитайте отново да заредите промените","localConversation.syncWorktreeError.branchSetup.title":"Обновете клона","localConversation.syncWorktreeError.branchUpdate.cta":"Обновете и опитайте отново","localConversation.syncWorktreeError.branchUpdate.error":"Неуспешно обновяване на клон: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Възникна проблем: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Клонът не е изтеглен в нито едно worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Приложи промените","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Трябва да активирате клона локално, за да приложите незаписаните промени","localConversation.syncWorktreeV2.branches.empty":"Не са открити клонове","localConversation.syncWorktreeV2.branches.loading":"Зареждане на клоновете…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Сменете клона за прехвърляне","localConversation.syncWorktreeV2.changeBranch.error":"Неуспешна смяна на клон за прехвърляне: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Прилагането не бе успешно","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Неуспешно презаписване на worktree","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Неуспешно презаписване локално","localConversation.syncWorktreeV2.commandError.back":"Назад","localConversation.syncWorktreeV2.commandError.body":"Git команда не се изпълни при прехвърлянето. Прегледайте резултата и опитайте отново.","localConversation.syncWorktreeV2.commandError.retry":"Опитайте отново","localConversation.syncWorktreeV2.description":"Прехвърлете промените между локалната среда и този worktree <a>Научете повече</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Изберете посока на прехвърляне","localConversation.syncWorktreeV2.error.generic":"Възникна проблем при прехвърлянето. Опитайте отново.","localConversation.syncWorktreeV2.localBranchLabel":"Локално","localConversation.syncWorktreeV2.noChanges":"Изчисляване на промените","localConversation.syncWorktreeV2.noChanges.summary":"Няма промени","localConversation.syncWorktreeV2.overwrite.local":"Презапиши локалните файлове","localConversation.syncWorktreeV2.overwrite.worktree":"Презапиши worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Неуспешно прилагане на промените","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Не успяхме да презапишем локалните промени","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Не успяхме да презапишем промените в worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Приложено","localConversation.syncWorktreeV2.partial.back":"Назад","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Разрешете конфликтите и опитайте отново","localConversation.syncWorktreeV2.partial.conflictsLabel":"Конфликти","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# файл} other {# файлa}}","localConversation.syncWorktreeV2.partial.retry":"Опитайте отново","localConversation.syncWorktreeV2.partial.skippedLabel":"Пропуснато","localConversation.syncWorktreeV2.stateFailed.generic":"Възникна проблем при извличането на промените от worktree за прехвърляне. Моля, опитайте отново.","localConversation.syncWorktreeV2.stateFailed.title":"Неуспешно зареждане на промените в worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Неуспешно зареждане на промените в worktree.","localConversation.syncWorktreeV2.statusError.retry":"Опитайте отново","localConversation.syncWorktreeV2.statusError.title":"Неуспешно зареждане на промените в локалния клон","localConversation.syncWorktreeV2.statusError.unknown":"Статусът на клон в момента не е наличен. Опитайте отново.","localConversation.syncWorktreeV2.success.apply":"Промените са приложени успешно","localConversation.syncWorktreeV2.success.overwrite":"Прехвърлянето е успешно","localConversation.syncWorktreeV2.title":"Прехвърляне на промените","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Задаване на {count, plural, one {въпрос} other {въпроси}}","localConversation.userInputRequest.noAnswer":"Няма предоставен отговор","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Зададен/и","localConversation.userInputRequest.summary.count":"{count, plural, one {# въпрос} other {# въпроса}}","localConversation.workedFor":"Работил {time}","localConversation.worktreeBranchSetup.action.create":"Създаване","localConversation.worktreeBranchSetup.branchAriaLabel":"Име на клон","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Създай нов клон","localConversation.worktreeBranchSetup.checkoutDisabled":"Този клон вече е активен в {location}","localConversation.worktreeBranchSetup.checkoutError":"Неуспешно превключване към клон: {message}","localConversation.worktreeBranchSetup.createBranchError":"Неуспешно задаване на клон: {message}","localConversation.worktreeBranchSetup.error":"Възникна проблем: {message}","localConversation.worktreeBranchSetup.subtitle":"Създайте клон, за да запишете промените, да ги изпратите и да създадете заявка за изтегляне (PR) от това worktree. <a>Научете повече</a>","localConversation.worktreeBranchSetup.title":"Работете тук","localConversationPage.addWorktreeToSidebar.tooltip":"Запази като проект, за да можеш да стартираш нови разговори от този worktree","localConversationPage.addWorktreeToSidebarError":"Неуспешно добавяне на проект","localConversationPage.commitAndCreatePrModal.errorTitle":"Неуспешен комит и създаване на PR","localConversationPage.commitAndCreatePrModal.successTitle":"Комитът е направен и е създадена PR","localConversationPage.commitAndPushModal.errorTitle":"Неуспешен комит и изпращане","localConversationPage.commitAndPushModal.successTitle":"Промените са комитнати и изпратени","localConversationPage.commitCreatePr.open":"Отваряне на заявка за изтегляне","localConversationPage.commitCreatePr.successTitle":"Създаден е PR с последните ви промени","localConversationPage.createBranchButtonLabel":"Създайте branch тук","localConversationPage.createPrModal.baseBranch":"Базов клон","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Създай PR","localConversationPage.createPrModal.createDescription":"Отворете заявка за изтегляне за последните си промени.","localConversationPage.createPrModal.errorTitle":"Неуспешна заявка за изтегляне","localConversationPage.createPrModal.headBranch":"Изходен клон","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Създай PR","localConversationPage.createPrModal.successTitle":"Заявката за изтегляне (pull request) е създадена","localConversationPage.createPrModal.title":"Създайте PR","localConversationPage.createPrModal.viewDescription":"За този клон вече има PR.","localConversationPage.createPrModal.viewTitle":"PR е готов","localConversationPage.createPullRequestAuthGh":"Удостоверете GitHub CLI. Изпълнете „gh auth login“","localConversationPage.createPullRequestBranchMissing":"Информацията за клона не е налична","localConversationPage.createPullRequestButtonLabel":"Създаване на PR","localConversationPage.createPullRequestButtonLabel.loading":"Създаване на заявка за изтегляне (PR)...","localConversationPage.createPullRequestDefaultBranchMissing":"Информацията за основния клон не е налична","localConversationPage.createPullRequestError":"Неуспешно създаване на заявка за изтегляне (pull request)","localConversationPage.createPullRequestExistingPullRequest":"За този branch вече има PR","localConversationPage.createPullRequestGhStatusMissing":"Зареждане на състоянието на GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Инсталирайте GitHub CLI (gh), за да създавате заявки за сливане","localConversationPage.createPullRequestNoRepo":"Не е намерено Git хранилище","localConversationPage.createPullRequestPushStatusMissing":"Зареждане на състоянието на push…","localConversationPage.createPullRequestSetUpstream":"Публикувайте този клон, преди да създадете заявка за сливане","localConversationPage.createPullRequestSuccessToast":"Заявката за изтегляне (pull request) е създадена","localConversationPage.createPullRequestSwitchBranch":"Превключете към функционален клон, преди да създадете заявка за сливане","localConversationPage.error.render":"Грешка при визуализиране на локалния разговор","localConversationPage.error.toast":"Разговорът не е намерен","localConversationPage.forcePushError":"Неуспешен force push","localConversationPage.generatePullRequestMessageError":"Неуспешно генериране на заглавие и описание на заявката за изтегляне","localConversationPage.generatePullRequestMessageFailed":"Неуспешно генериране на заглавие и описание на заявката за изтегляне.","localConversationPage.gitActionResult.branch":"Клон","localConversationPage.gitActionResult.cancel":"Отказ","localConversationPage.gitActionResult.close":"Затваряне","localConversationPage.gitActionResult.tryAgain":"Опитайте пак","localConversationPage.gitActions":"Git действия","localConversationPage.newChat":"Нов чат","localConversationPage.openInTarget":"Отворете в","localConversationPage.openPrimaryTarget":"Отворено","localConversationPage.planItemsCompleted":"{completedItems} от {totalItems, plural, one {# изпълнена задача} other {# изпълнени задачи}}","localConversationPage.pushAuthError":"Push не бе успешен: изисква се удостоверяване","localConversationPage.pushBranchMissing":"Информацията за клона не е налична","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Качване…","localConversationPage.pushError":"Неуспешно изпращане на промените","localConversationPage.pushModal.branchLabel":"Клон","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Отказ","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Изпратете последните си commit-и към отдалеченото хранилище.","localConversationPage.pushModal.errorTitle":"Push не бе успешен","localConversationPage.pushModal.forcePush":"Force push","localConversationPage.pushModal.successTitle":"Push е завършен","localConversationPage.pushModal.title":"Изпращане на промените","localConversationPage.pushModal.tryAgain":"Опитайте пак","localConversationPage.pushNoUpstream":"Задайте upstream клон преди изпращане на този клон","localConversationPage.pushNoUpstreamError":"Push не бе успешен: няма конфигуриран upstream.","localConversationPage.pushNothingToPush":"Няма нови commit-и за изпращане","localConversationPage.pushRemoteChangedError":"Push не бе успешен: в отдалеченото хранилище има нови commit-и.","localConversationPage.pushRemoteRejectedError":"Push е отхвърлен от отдалеченото хранилище","localConversationPage.pushStatusMissing":"Зареждане на състоянието на push…","localConversationPage.pushSuccessToast":"Промените са качени","localConversationPage.viewPullRequestButtonLabel":"Преглед на PR","localConversationPage.viewPullRequestButtonLabel.loading":"Зареждане на pull request…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# файл} other {# файлa}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# списък} other {# списъка}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {#търсене} other {# търсения}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Изследване","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Изследвано","localConversationTurn.exploration.accordion.header.complete.withCounts":"Изследвано {counts}","localConversationTurnStory.showContent":"Покажете съдържанието","localConversationTurnStory.streamContent":"Поточно предаване на съдържанието","localConversationTurnStory.toggleReasoning":"Покажете разсъжденията","localTaskRow.archiveError":"Неуспешно архивиране на разговора","localTaskRow.resumeError":"Неуспешно възобновяване на задачата","mermaidDiagram.ariaLabel":"Диаграма, създадена с Mermaid","mermaidDiagram.copySource":"Копирайте Mermaid диаграма","mermaidDiagram.originalCode":"Изходен код на диаграмата, създадена с Mermaid","notifications.permissions.description":"Показвайте предупреждения, когато са необходими разрешения за известия","notifications.permissions.label":"Активирайте известията за разрешения","notifications.turnMode.always":"Винаги","notifications.turnMode.description":"Задайте кога Codex да ви уведоми, че е завършил","notifications.turnMode.label":"Известия за завършване","notifications.turnMode.off":"Никога","notifications.turnMode.unfocused":"Само когато не е на фокус","patchApprovalRequest.approve":"Одобрете","patchApprovalRequest.menu.allowAlways":"Да, и не питайте отново в тази сесия","patchApprovalRequest.menu.allowForSession":"Да, и не питайте отново в тази сесия","patchApprovalRequest.menu.allowOnce":"Да","patchApprovalRequest.prompt":"Искате ли да приложите тези промени?","patchApprovalRequest.reject":"Не","patchApprovalRequest.waitingForApproval":"Изчаква се одобрение за редактиране на файлове","pendingRequest.approvalExec.collapse":"Свийте","pendingRequest.approvalExec.expand":"Разгънете","pendingRequestStory.toastAnswer":"Отговор: {answer}","pendingRequestStory.toastApprovalTitle":"Отговор за одобрение","pendingRequestStory.toastFollowupPrompt":"Подсказка: {prompt}","pendingRequestStory.toastFollowupTitle":"Изпратено е последващо съобщение","pendingRequestStory.toastNoAnswers":"Няма предоставени отговори","pendingRequestStory.toastQuestion":"Въпрос: {question}","pendingRequestStory.toastUnknownDecision":"Неизвестно","pendingRequestStory.toastUserInputTitle":"Изпратени отговори","quickAction.request.codeReview.branches.new":"Моля, прегледайте промените в {from} спрямо {to}","quickAction.request.codeReview.uncommitted.new":"Моля, прегледайте моите непотвърдени промени","reasoningItem.thinking":"Мислене","reasoningItem.thought":"Готов с мисленето","reasoningItem.thoughtWithElapsed":"Помислих за {elapsed}","recentConversations.title":"Скорошни разговори","recentTasks.worktreeInitFailedTitle":"Инициализирането на worktree е неуспешно","recentTasks.worktreeSettingUpTitle":"Настройване на worktree","requestInputPanel.continue":"Продължете","requestInputPanel.dismiss":"Отхвърлете","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Въведете тук","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Не, и кажете на Codex какво да направи по различен начин","requestInputPanel.selectedBadge":"Избрани","requestInputPanel.skip":"Пропускане","requestInputPanel.submit":"Изпратете","review.commit.ariaLabel.includeUnstaged":"Включете незаписаните промени","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commit в процес…","review.commit.disabled.loadingDiff":"Зареждане на разлики…","review.commit.disabled.missingContext":"Добавете контекст, за да се генерира commit съобщение","review.commit.disabled.noChanges":"Няма промени за запазване","review.commit.disabled.noSelection":"Изберете промени за запазване","review.commit.disabled.unavailable":"Запазването не е налично в момента","review.commit.error":"Неуспешен commit на промените","review.commit.form.changesToBeCommitted":"Промени","review.commit.form.commitTo":"Клон","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Продължете","review.commit.form.title":"Commit на промените","review.commit.generate.emptyResponse":"Не успяхме да генерираме commit съобщение.","review.commit.generate.failed":"Неуспешно генериране на commit съобщение: {error}","review.commit.generate.missingPrompt":"Добавете контекст, за да се генерира commit съобщение.","review.commit.includeUnstaged":"Включете незаписаните промени","review.commit.loading.description":"Моля, изчакайте – това може да отнеме малко време","review.commit.loading.step.commit.done":"Промените са commit-нати","review.commit.loading.step.commit.pending":"Записване на промените","review.commit.loading.step.createPr.done":"Създадена е заявка за изтегляне (PR)","review.commit.loading.step.createPr.pending":"Създаване на заявка за изтегляне (PR)","review.commit.loading.step.push.done":"Изпратено към клона {branch}","review.commit.loading.step.push.pending":"Изпращане към клона {branch}","review.commit.loading.title.commit":"Записване на промените","review.commit.loading.title.createPr":"Създаване на PR","review.commit.loading.title.push":"Изпращане на промените","review.commit.messageLabel":"Съобщение към commit","review.commit.messagePlaceholder":"Остави празно, за да се създаде автоматично commit съобщение","review.commit.nextSteps":"Следващи стъпки","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Записване и създаване на PR","review.commit.nextSteps.commitAndPush":"Записване и изпращане","review.commit.nextSteps.prRequiresGh":"Изисква GitHub CLI: {command}","review.commit.rows.changes":"Промени","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# commits}} и {stats}","review.commit.rows.fileCount":"{count, plural, one {# файл} other {# файлa}}","review.commit.state.error.body":"Възникна проблем по време на commit. Проверете git статуса си и опитайте отново.","review.commit.state.error.title":"Commit неуспешен","review.commit.state.success.title":"Промените са записани","review.commit.untracked.loadingStats":"Зареждане на статистиките за непроследените разлики...","reviewFindingAttachments.count":"{count, plural, one {# резултат} other {# резултати}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Редактирайте конфигурацията си, за да персонализирате поведението на агента","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"Рестартирайте Codex след редактиране, за да приложите промените","settings.agent.configuration.subtitle":"Тези настройки се прилагат навсякъде, където се използва Codex","settings.automations.banner.danger":"Автоматизациите се изпълняват с вашите стандартни настройки на средата sandbox, които в момента са зададени на пълен достъп. Стартирането на фонови автоматизации с пълен достъп носи повишен риск, тъй като Codex може да променя файлове, да изпълнява команди и да осъществява мрежов достъп без потвърждение. Помислете за промяна на настройките на средата sandbox на запис в работното пространство и за използване на  <rulesDocsLink>правила</rulesDocsLink>, за да определите кои команди агентът може да изпълнява с пълен достъп.","settings.automations.banner.defaultHowTo.default":"Автоматизациите се изпълняват с вашите стандартни настройки на средата sandbox. Извикванията на инструменти ще се провалят, ако изискват промяна на файлове извън работното пространство, достъп до мрежата или работа с апове на вашия компютър. Можете избирателно да разрешавате команди извън средата sandbox чрез <rulesDocsLink>правила</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Автоматизациите се изпълняват с вашите стандартни настройки на средата sandbox, които са зададени само за четене. Извикванията на инструменти ще се провалят, ако изискват промяна на файлове, достъп до мрежата или работа с апове на вашия компютър. Помислете за промяна на настройките на средата sandbox на запис в работното пространство.","settings.automations.cancel":"Отказ","settings.automations.create":"Създаване","settings.automations.cwdEmpty":"Няма налични папки за проект","settings.automations.cwdLabel":"Проекти","settings.automations.cwdPlaceholder":"Изберете папка","settings.automations.cwdSubtitle":"Ако искате автоматизацията да се изпълнява в конкретен клон, можете да го посочите в подканата.","settings.automations.delete":"Изтриване","settings.automations.dialog.editTitle":"Редактиране на автоматизацията","settings.automations.dialog.newTitle":"Нова автоматизация","settings.automations.dialog.subtitle":"Автоматизирайте повтарящи се задачи във фонов режим. Codex добавя резултатите във входящата поща или автоматично архивира задачата, ако няма какво да се отчете. <learnMoreLink>Научете повече</learnMoreLink>","settings.automations.dialog.title":"Създаване на автоматизация","settings.automations.executionCopy.git":"Автоматизациите се изпълняват във фонов режим в отделни worktree структури.","settings.automations.executionCopy.nonGit":"В проекти без контрол на версиите автоматизациите се изпълняват директно в директорията на проекта. Помислете за използване на Git, за да активирате работа с фонови worktree структури.","settings.automations.executionEnvironment.local":"Локално","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Зареждане…","settings.automations.nameLabel":"Име","settings.automations.namePlaceholder":"Проверка за проблеми в Sentry","settings.automations.pause":"Пауза","settings.automations.promptLabel":"Подкана","settings.automations.promptPlaceholder":"Търсене на сривове в $Sentry","settings.automations.resume":"Възобновете","settings.automations.rruleSummaryFallback":"Персонализиран график","settings.automations.runNow":"Тест","settings.automations.save":"Запазване","settings.automations.scheduleBadge.dayCount":"{count}дни","settings.automations.scheduleBadge.interval":"{count}час(а)","settings.automations.scheduleBadge.weekdays":"Делнични дни","settings.automations.scheduleBadge.weekends":"Почивни дни","settings.automations.scheduleHeader":"График","settings.automations.scheduleHours":"часа","settings.automations.scheduleLabel":"Изпълнявай на всеки","settings.automations.scheduleMode.daily":"Всеки ден","settings.automations.scheduleMode.interval":"Интервал","settings.automations.scheduleModeLabel":"Тип график","settings.automations.scheduleSummary.daily":"Ежедневно в {time}","settings.automations.scheduleSummary.interval":"На всеки {count}ч.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ден} other {# дни}}","settings.automations.scheduleSummary.intervalDays":"{interval} на {days}","settings.automations.scheduleSummary.intervalHourly":"Всеки час","settings.automations.scheduleSummary.singleDay":"{day} в {time}","settings.automations.scheduleSummary.weekdays":"Делнични дни в {time}","settings.automations.scheduleSummary.weekdaysLabel":"делнични дни","settings.automations.scheduleSummary.weekends":"Почивни дни в {time}","settings.automations.scheduleSummary.weekendsLabel":"почивни дни","settings.automations.scheduleSummary.weekly":"{days} в {time}","settings.automations.scheduleWeekdays":"Вкл.","settings.automations.weekdayState.excluded":"Изключена","settings.automations.weekdayState.included":"Включена","settings.conversationDetail.steps":"Стъпки","settings.conversationDetail.steps.description":"Скрийте командите и изходните данни","settings.conversationDetail.stepsWithCommands":"Стъпки с команди за код","settings.conversationDetail.stepsWithCommands.description":"Покажете командите, свийте изходните данни","settings.conversationDetail.stepsWithOutput":"Стъпки с изходни данни от код","settings.conversationDetail.stepsWithOutput.description":"Покажете командите и разгънете изходните данни","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Няма архивирани чатове.","settings.dataControls.archivedChats.error":"Не успяхме да заредим архивираните разговори.","settings.dataControls.archivedChats.loading":"Зареждане на архивираните разговори…","settings.dataControls.archivedChats.unarchive":"Разархивиране","settings.dataControls.archivedChats.unarchiveError":"Неуспешно премахване от архива на разговора","settings.dataControls.archivedChats.unarchiveSuccess":"Разговорът е изваден от архива. <viewNowLink>Прегледайте сега</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Разговорът е изваден от архива.","settings.dataControls.archivedChats.untitled":"Разговор без заглавие","settings.dataControls.archivedChats.viewNow":"Вижте сега","settings.editRow.headerPlaceholder":"Ключ","settings.editRow.removeEntry":"Премахнете записа","settings.editRow.valuePlaceholder":"Стойност","settings.general.appearance":"Изглед","settings.general.appearance.codeFont":"Шрифт за код","settings.general.appearance.codeFont.description":"Настройте шрифта и размера на кода във всички разговори и сравнения","settings.general.appearance.codeFontFamily":"Тип шрифт за код","settings.general.appearance.codeFontSize":"Размер на шрифта за код","settings.general.appearance.codeFontSize.units":"пиксела","settings.general.appearance.opaqueWindows.description":"Използвайте плътен фон на прозорците вместо системна прозрачност","settings.general.appearance.opaqueWindows.label":"Използвайте непрозрачен фон на прозорците","settings.general.appearance.sansFontFamily":"Тип шрифт за код: Sans","settings.general.appearance.sansFontFamily.description":"Настройте шрифта, използван в интерфейса на Codex","settings.general.appearance.sansFontSize":"Размер на основния шрифт","settings.general.appearance.sansFontSize.units":"пиксела","settings.general.appearance.sparkCelebrationEffects.description":"Показвайте празнични ефекти на цял екран при първото стартиране на GPT-5.3-Codex-Spark","settings.general.appearance.sparkCelebrationEffects.label":"Празнични ефекти при Spark","settings.general.appearance.theme":"Тема","settings.general.appearance.theme.dark":"Тъмен","settings.general.appearance.theme.description":"Използвайте светъл, тъмен режим или настройките на системата","settings.general.appearance.theme.light":"Набързо","settings.general.appearance.theme.system":"Система","settings.general.appearance.usePointerCursors.description":"Променяйте курсора в показалец при задържане върху интерактивни елементи","settings.general.appearance.usePointerCursors.label":"Използвайте курсор тип показалец","settings.general.enterBehavior.description":"Когато е включено, многострочните подсказки изискват {modifierSymbol} + Enter за изпращане","settings.general.enterBehavior.label":"Изисквайте {modifierSymbol} + Enter за изпращане на дълги подсказки","settings.general.experimentalFeatures":"Експериментални функции (бета)","settings.general.experimentalFeatures.empty":"Няма налични експериментални функции в бета версия.","settings.general.experimentalFeatures.loading":"Зареждане на експерименталните функции…","settings.general.experimentalFeatures.restartNote":"Рестартирайте Codex, за да приложите промените в експерименталните функции","settings.general.experimentalFeatures.toggle":"Превключете {featureName}","settings.general.followUpQueueMode.description":"Поставете последващите съобщения да изчакат реда си, докато Codex работи, или насочвайте текущото изпълнение. Натиснете {invertFollowUpShortcutLabel}, за да направите обратното за едно съобщение.","settings.general.followUpQueueMode.interrupt":"Насочване","settings.general.followUpQueueMode.label":"Поведение на последващите заявки","settings.general.followUpQueueMode.queue":"Опашка","settings.general.notifications":"Известия","settings.general.power.preventSleepWhileRunning.description":"Поддържайте компютъра активен, докато Codex изпълнява процес.","settings.general.power.preventSleepWhileRunning.label":"Предотвратяване на режим на заспиване по време на изпълнение","settings.git.branchPrefix.ariaLabel":"Префикс на клон","settings.git.branchPrefix.description":"Префикс, използван при създаване на нови клонове в Codex","settings.git.branchPrefix.label":"Префикс на клон","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Неуспешно запазване на префикса за клон","settings.git.branchPrefix.save.success":"Префиксът за клон е запазен","settings.git.commitInstructions.ariaLabel":"Инструкции за commit","settings.git.commitInstructions.description":"Добавени към подсказките за генериране на commit съобщение","settings.git.commitInstructions.label":"Инструкции за commit","settings.git.commitInstructions.placeholder":"Добавете насоки за commit съобщение...","settings.git.commitInstructions.save":"Запазване","settings.git.commitInstructions.save.error":"Неуспешно запазване на инструкциите за сommit","settings.git.commitInstructions.save.success":"Инструкциите за commit са запазени","settings.git.forcePush.ariaLabel":"Винаги използвай force push","settings.git.forcePush.description":"Използвайте --force-with-lease при изпращане от Codex","settings.git.forcePush.label":"Винаги използвай force push","settings.git.forcePush.save.disabled":"Винаги използвай force push – изключено","settings.git.forcePush.save.enabled":"Винаги използвай force push – включено","settings.git.forcePush.save.error":"Неуспешно запазване на настройката за force push","settings.git.prInstructions.ariaLabel":"Инструкции за pull request","settings.git.prInstructions.description":"Добавени към описанията на pull request, създадени от Codex","settings.git.prInstructions.label":"Инструкции за pull request","settings.git.prInstructions.placeholder":"Добавете насоки за pull request...","settings.git.prInstructions.save":"Запазване","settings.git.prInstructions.save.error":"Неуспешно запазване на инструкциите за pull request","settings.git.prInstructions.save.success":"Инструкциите за pull request са запазени","settings.ide.defaultOpenTarget.description":"Къде файловете и папките да се отварят по подразбиране","settings.ide.defaultOpenTarget.label":"Местоположение по подразбиране за отваряне","settings.ide.defaultOpenTarget.placeholder":"Няма намерени цели","settings.ide.language.auto":"Автоматично разпознаване","settings.ide.language.autoOption":"Автоматично разпознаване","settings.ide.language.description":"Език за интерфейса на апа","settings.ide.language.label":"Език","settings.ide.language.search":"Търсене на езици","settings.layout.actionButton":"Рестартирайте разширението","settings.layout.actionTitle":"Настройки с бутон за действие","settings.layout.fullWidthTitle":"Настройки на цял екран по ширина","settings.layout.title":"Настройки","settings.localEnvironments.actions.add":"Добавяне на действие","settings.localEnvironments.actions.add.description":"Създайте нова команда за лентата с инструменти","settings.localEnvironments.actions.add.save":"Запазване","settings.localEnvironments.actions.empty":"Добавете действие, за да изпълните команди от локалната лента с инструменти.","settings.localEnvironments.actions.icon.debug":"Отстраняване на грешки","settings.localEnvironments.actions.icon.run":"Изпълни","settings.localEnvironments.actions.icon.test":"Тест","settings.localEnvironments.actions.icon.tool":"Инструмент","settings.localEnvironments.actions.item.button.delete":"Изтриване","settings.localEnvironments.actions.item.command":"Скрипт за действие  ","settings.localEnvironments.actions.item.name":"Име","settings.localEnvironments.actions.item.platforms":"Платформи","settings.localEnvironments.actions.item.platforms.help":"Изпълнявайте само в конкретна ОС.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Избор на платформа","settings.localEnvironments.actions.item.platforms.specific":"Специфично за платформа","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Изтриване","settings.localEnvironments.actions.title":"Действия","settings.localEnvironments.breadcrumb.back":"Назад","settings.localEnvironments.breadcrumb.edit":"редактиране","settings.localEnvironments.breadcrumb.root":"Среди","settings.localEnvironments.environment.actions.description":"Тези действия могат изпълняват всяка команда и ще бъдат показани в заглавната част.","settings.localEnvironments.environment.actionsLabel":"Действия","settings.localEnvironments.environment.create":"Създайте локална среда","settings.localEnvironments.environment.defaultName":"локална","settings.localEnvironments.environment.edit":"Редактирайте локална среда","settings.localEnvironments.environment.empty":"Все още няма конфигурирана локална среда за този проект","settings.localEnvironments.environment.name":"Име","settings.localEnvironments.environment.setup":"Скрипт за настройка","settings.localEnvironments.environment.setup.description":"Този скрипт ще се изпълни при създаване на worktree.","settings.localEnvironments.environment.setup.hint":"Изпълнява се в основната папка на проекта","settings.localEnvironments.environment.setup.platformOverrides":"Замени в платформата","settings.localEnvironments.environment.setup.platformOverrides.add":"Добавете {platform} скрипт за настройка","settings.localEnvironments.environment.setup.platformOverrides.description":"Заменя скрипта по подразбиране за конкретни ОС.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Премахване","settings.localEnvironments.environment.setup.script":"Скрипт","settings.localEnvironments.environment.title":"Данни за средата","settings.localEnvironments.file.missing":"Запазете, за да създадете този файл за пръв път.","settings.localEnvironments.file.parseError":"Не може да се анализира съществуващият файл. Запазването ще го презапише. ({error})","settings.localEnvironments.file.path":"Файл: {path}","settings.localEnvironments.file.readError":"Неуспешно зареждане на данни за локалната среда. ({error})","settings.localEnvironments.file.title":"Файл на локална среда","settings.localEnvironments.loading.body":"Зареждане на конфигурацията на проекта.","settings.localEnvironments.loading.title":"Зареждане на локални среди","settings.localEnvironments.preview.devOnly":"(само DEV)","settings.localEnvironments.preview.save":"Запазване","settings.localEnvironments.preview.saveError":"Неуспешно запазване на файла. ({error})","settings.localEnvironments.preview.title":"Предварителен преглед","settings.localEnvironments.save.disabled.name":"Добавете име на средата за запазване","settings.localEnvironments.save.disabled.noChanges":"Няма промени за запазване.","settings.localEnvironments.save.disabled.saving":"Запазване…","settings.localEnvironments.save.success":"Запазване на локална среда","settings.localEnvironments.unavailable.body":"Не успяхме да заредим настройките на локалната среда за този проект","settings.localEnvironments.unavailable.title":"Не са налични локални среди","settings.localEnvironments.workspace.add":"Добавете проект","settings.localEnvironments.workspace.title":"Проект","settings.localEnvironments.workspaceSelect.addLabel":"Добавяне на среда","settings.localEnvironments.workspaceSelect.description":"Локалните среди указват на Codex как да настройва worktree за даден проект. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Все още няма проекти. Добавете проект, за да конфигурирате локални среди.","settings.localEnvironments.workspaceSelect.errorLabel":"Средата се нуждае от внимание","settings.localEnvironments.workspaceSelect.learnMore":"Научете повече","settings.localEnvironments.workspaceSelect.listLabel":"Налични проекти","settings.localEnvironments.workspaceSelect.loading":"Зареждане на проектите.","settings.localEnvironments.workspaceSelect.loadingLabel":"Зареждане на среда","settings.localEnvironments.workspaceSelect.title":"Избор на проект","settings.localEnvironments.workspaceSelect.viewAction":"Преглед","settings.mcp.addServer":"Добавете сървър","settings.mcp.app.configure":"Конфигуриране","settings.mcp.app.connect":"Свързване","settings.mcp.apps.refresh":"Опресняване","settings.mcp.detail.addArgument":"Добавяне на аргумент","settings.mcp.detail.addEnvVar":"Добавяне на променлива на средата","settings.mcp.detail.addEnvVarPassthrough":"Добавяне на променлива","settings.mcp.detail.args":"Аргументи","settings.mcp.detail.back":"Назад","settings.mcp.detail.command":"Команда за стартиране","settings.mcp.detail.cwd":"Работна директория","settings.mcp.detail.docs":"Отворете документацията за MCP (протокол за контекста на модела)","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"Предаване на променливи на средата","settings.mcp.detail.envVars":"Променливи на средата","settings.mcp.detail.http.addEnvHeader":"Добавяне на променлива","settings.mcp.detail.http.addHeader":"Добавете заглавка на HTTP","settings.mcp.detail.http.bearerToken":"Променлива на средата за Bearer token","settings.mcp.detail.http.envHeaders":"Заглавки от променливи на средата","settings.mcp.detail.http.headers":"Заглавки","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Име","settings.mcp.detail.save":"Запазване","settings.mcp.detail.switchTransportNotice":"Ако искате да смените типа MCP сървър, първо го деинсталирайте.","settings.mcp.detail.titleExisting":"Актуализирайте MCP {name}","settings.mcp.detail.titleNew":"Свържете се с персонализиран MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Деинсталирайте","settings.mcp.empty":"Няма свързани персонализирани MCP сървъри","settings.mcp.myServers":"Персонализирани сървъри","settings.mcp.partnerServer.description.figma":"Създавайте по-добър код с пълен контекст от Figma","settings.mcp.partnerServer.description.github":"Интегрирайте с GitHub API, за да автоматизирате работни потоци и да извличате данни","settings.mcp.partnerServer.description.linear":"Интегрирайте с проследяването на задачи и управлението на проекти в Linear","settings.mcp.partnerServer.description.notion":"Преглед на документация, актуализиране на страници, управление на задачи","settings.mcp.partnerServer.description.playwright":"Интегрирайте автоматизацията на браузъра за реализиране на дизайна и тестване на интерфейса","settings.mcp.partnerServer.install":"Инсталиране","settings.mcp.partnerServer.installAndAuthenticate":"Инсталирайте и се удостоверете","settings.mcp.partnerServer.logoAlt":"Лого на {label}","settings.mcp.partnerServer.manage":"Управлявайте","settings.mcp.partnerServer.vendor":"от {vendor}","settings.mcp.recommendedServers":"Препоръчани сървъри","settings.mcp.restartApp":"Рестартирайте","settings.mcp.restartExtension":"Рестартирайте разширението","settings.mcp.server.enable":"Активиране","settings.mcp.server.login":"Удостоверете се","settings.mcp.server.settings":"Настройки","settings.multiselect.createOption":"Създай „{value}“","settings.multiselect.removeOption":"Премахване","settings.nav.account":"Акаунт","settings.nav.agent":"Kонфигурация","settings.nav.ariaLabel":"Настройки","settings.nav.back":"Обратно към апа","settings.nav.data-controls":"Архивирани разговори","settings.nav.environments":"Облачна среда","settings.nav.externalTooltip":"[alpha] Отваря се в браузъра","settings.nav.general-settings":"Основен","settings.nav.git-settings":"Git","settings.nav.local-environments":"Среди","settings.nav.mcp-settings":"Сървъри MCP","settings.nav.notImplemented":"[alpha] Недостъпно в Alpha","settings.nav.personalization":"Персонализиране","settings.nav.skills-settings":"Умения","settings.nav.usage-analytics":"Използване и анализи","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Назад","settings.openSourceLicenses.loading":"Зареждане…","settings.openSourceLicenses.missing":"Не бяха открити съобщения от трети страни.","settings.openSourceLicenses.notSupported":"Не е налично в този хост.","settings.openSourceLicenses.rowDescription":"Съобщения от трети страни за включените зависимости","settings.openSourceLicenses.rowLabel":"Лицензи с отворен код","settings.openSourceLicenses.subtitle":"Съобщения от трети страни за зависимостите, включени в този ап","settings.openSourceLicenses.title":"Лицензи с отворен код","settings.openSourceLicenses.view":"Преглед","settings.personalization.agents.description":"Редактирайте инструкциите, които адаптират Codex към вашите предпочитания. {learnMore}","settings.personalization.agents.learnMore":"Научете повече","settings.personalization.agents.loadError":"Неуспешно зареждане на agents.md.","settings.personalization.agents.loading":"Зареждане на agents.md…","settings.personalization.agents.placeholder":"Добавете своите персонализирани инструкции...","settings.personalization.agents.retry":"Опитайте отново","settings.personalization.agents.save":"Запазване","settings.personalization.agents.save.error":"Неуспешно запазване на agents.md","settings.personalization.agents.save.success":"Запазен agents.md","settings.personalization.agents.title":"Инструкции по избор","settings.personalization.personality.description":"Изберете стандартен тон за отговорите на Codex","settings.personalization.personality.label":"Личностни характеристики","settings.sample.contentBody":"Използвайте този изглед, за да оформите панелите с настройки с еднакви разстояния.","settings.sample.contentTitle":"Примерен блок със съдържание","settings.section.account":"Акаунт","settings.section.agent":"Kонфигурация","settings.section.data-controls":"Архивирани разговори","settings.section.environments":"Облачна среда","settings.section.external":"Отваря се в браузъра ви по време на Alpha","settings.section.general-settings":"Основен","settings.section.git-settings":"Git","settings.section.local-environments":"Среди","settings.section.mcp-settings":"Сървъри MCP","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"Свържете външни инструменти и източници на данни.","settings.section.personalization":"Персонализиране","settings.section.skills-settings":"Умения","settings.section.unavailable":"Все още не е налично в Alpha","settings.section.usage-analytics":"Използване и анализи","settings.section.worktrees":"worktrees","settings.threadDetail.description":"Изберете колко от изходните данни на командите да се показват в разговорите","settings.threadDetail.label":"Подробности за разговора","settings.worktrees.conversation.untitled":"Неозаглавен разговор","settings.worktrees.delete.error":"Неуспешно изтриване на worktree","settings.worktrees.empty.body":"worktree, създадени от Codex, ще се показват тук","settings.worktrees.empty.title":"Все още няма worktree","settings.worktrees.error.body":"Възникна проблем при зареждане на worktree.","settings.worktrees.error.retry":"Опитайте отново","settings.worktrees.error.title":"Неуспешно зареждане на worktree","settings.worktrees.loading.body":"Извличане на подробности за worktree.","settings.worktrees.loading.title":"Зареждане на worktree","settings.worktrees.repository.loading":"Зареждане на метаданни за хранилището…","settings.worktrees.repository.unknown":"Непознато хранилище","settings.worktrees.row.conversations":"Разговори","settings.worktrees.row.conversations.empty":"Няма разговори, свързани с този worktree.","settings.worktrees.row.conversations.loading":"Зареждане на разговори…","settings.worktrees.row.delete":"Изтриване","settings.worktrees.row.title":"worktree","sidebarElectron.addWorkspaceRoot":"Добавете нов проект","sidebarElectron.archiveThread":"Архивиране на нишката","sidebarElectron.archiveThreadError":"Неуспешно архивиране на нишката","sidebarElectron.collapseFolder":"Свийте папката","sidebarElectron.createStableWorktree.dialog.cancel":"Отмяна","sidebarElectron.createStableWorktree.dialog.create":"Създаване","sidebarElectron.debugNavLink":"Отстраняване на грешки","sidebarElectron.editWorkspaceRootOptionName":"Редактиране на името","sidebarElectron.expandFolder":"Разгънете папката","sidebarElectron.groupByMenu.recency":"Хронологичен списък","sidebarElectron.groupByMenu.title":"Организиране","sidebarElectron.groupByMenu.workspace":"По проект","sidebarElectron.inboxRouteNavLink":"Автоматизации","sidebarElectron.markThreadUnread":"Маркирайте като непрочетено","sidebarElectron.missingWorkspaceRoot":"Тази проектна папка е изтрита или преместена","sidebarElectron.newThread":"Нова нишка","sidebarElectron.newThreadInGroup":"Започнете нова нишка в {folder}","sidebarElectron.noRecentThreads":"Няма скорошни разговори","sidebarElectron.noTasks":"Няма нишки","sidebarElectron.noTasks.start":"Добавете нов проект","sidebarElectron.noTasksWithFilter":"Няма нишки, отговарящи на филтрите","sidebarElectron.pinnedThreads":"Закачени разговори","sidebarElectron.recentNavLink":"Разговори","sidebarElectron.recentThreads":"Скорошни разговори","sidebarElectron.removeWorkspaceRootOption":"Премахване","sidebarElectron.renameThread":"Преименуване на нишка","sidebarElectron.renameThreadDialogAriaLabel":"Заглавие на нишка","sidebarElectron.renameThreadDialogCancel":"Отказ","sidebarElectron.renameThreadDialogPlaceholder":"Добавете заглавие...","sidebarElectron.renameThreadDialogSave":"Запазване","sidebarElectron.renameThreadDialogSubtitle":"Нека е кратко и разпознаваемо.","sidebarElectron.renameThreadDialogTitle":"Преименуване на нишка","sidebarElectron.renameThreadError":"Неуспешно преименуване на нишка","sidebarElectron.renameWorkspaceRootOptionLabel":"Име за показване","sidebarElectron.showLess":"Покажете по-малко","sidebarElectron.showMenu.all":"Всички разговори","sidebarElectron.showMenu.relevant":"Уместен","sidebarElectron.showMenu.relevantHint":"Показвай само скорошните разговори за текущия клон, worktree или други разговори, които изискват внимание","sidebarElectron.showMenu.title":"Показване","sidebarElectron.showMenu.tooltip":"Филтриране, сортиране и организиране на разговори","sidebarElectron.showMenu.trigger":"Филтриране на нишки в страничната лента","sidebarElectron.showMore":"Покажете повече","sidebarElectron.skillsRouteNavLink":"Умения","sidebarElectron.sortMenu.created":"Създадено","sidebarElectron.sortMenu.title":"Сортиране по","sidebarElectron.sortMenu.updated":"Актуализирано","sidebarElectron.taskNavigation":"Папки за автоматизация","sidebarElectron.tasksInFolder":"Автоматизации в {folder}","sidebarElectron.workspaceOptions":"Действия за проект {folder}","sidebarElectron.worktreeGroupTooltip":"Това е git worktree","skills.appsPage.createSkill":"Ново умение","skills.appsPage.empty.skills":"Няма намерени модули","skills.appsPage.search.skills":"Търсете умения","skills.appsPage.search.skills.label":"Търсете умения","skills.appsPage.section.installedApps":"Инсталирано  ","skills.appsPage.section.skills":"Умения","skills.appsPage.subheading":"Разширете възможностите на Codex <link>Научете повече</link>","skills.appsPage.tab.recommended":"Препоръчителен","skills.appsPage.tab.skills":"Умения","skills.card.contentsError":"Не може да се зареди съдържание за умения.","skills.card.disable":"Деактивиране","skills.card.disableSuccess":"{skillName} модул е деактивиран","skills.card.disabledBadge":"Деактивиран","skills.card.enable":"Активиране","skills.card.enableSuccess":"{skillName} модул е активиран","skills.card.loadingContents":"Зареждане на съдържание за умения...","skills.card.more":"Още действия","skills.card.open":"Отворено","skills.card.removeFailed":"Неуспешно деинсталиране на модула","skills.card.removeSuccess":"{skillName} модул е деинсталиран","skills.card.toggleEnabledError":"Неуспешно обновяване на модула","skills.card.try":"Опитайте","skills.card.trySkill":"Изпробване на умение","skills.card.uninstall":"Деинсталирайте","skills.hero.dotLabel":"Отидете на слайд {index}","skills.hero.next":"Следващо препоръчано умение","skills.hero.trySkill":"Изпробване на умение","skills.page.createSkill":"Ново умение","skills.page.empty":"Няма намерени умения","skills.page.filteredEmpty":"Няма умения, които да отговарят на вашите филтри","skills.page.filteredEmptyDescription":"Опитайте да коригирате търсенето или филтрите за обхват","skills.page.heading":"Модули","skills.page.loading":"Зареждане на модули…","skills.page.refreshSkills":"Опресняване","skills.page.refreshSkillsToUseNew":"Опреснете, за да използвате новите модули","skills.page.search":"Търсете умения","skills.page.search.label":"Търсете умения","skills.page.subheading":"Разширете възможностите на Codex <link>Научете повече</link>","skills.preview.copyPrompt":"Копирайте подканата","skills.preview.examplePrompt":"Примерна подкана","skills.recommended.error":"Препоръчаните умения не могат да се заредят","skills.recommended.install":"Инсталиране","skills.recommended.installSkill":"Инсталирайте модул","skills.recommended.installSuccess":"{skillName} модул е инсталиран","skills.recommended.installed":"Инсталирано  ","skills.scope.admin":"Админ","skills.scope.adminInstalled":"Инсталиран админ","skills.scope.builtIn":"Система","skills.scope.personal":"Личен","skills.scope.repo":"Хранилище","skills.scope.system":"Система","skills.scope.team":"Team","skills.scope.user":"Потребител","skills.section.installed":"Инсталирано  ","skills.section.recommended":"Препоръчителен","story.slidingToggle.existing":"Съществуващ","story.slidingToggle.fromLocal":"От локалната система","story.slidingToggle.new":"Нов","story.slidingToggle.toLocal":"Към локалната система","terminal.close":"Затворете терминала","terminal.title":"Терминал","thinkingShimmer.default":"Мислене","threadEnvIcon.cloudTooltip":"Този разговор се изпълнява в Codex Cloud.","threadEnvIcon.localTooltip":"Този разговор се изпълнява локално.","threadEnvIcon.worktreeTooltip":"Този разговор се изпълнява в локално worktree на Git","threadHeader.archiveConfirmCancel":"Отказ","threadHeader.archiveConfirmConfirm":"Архивиране","threadHeader.archiveConfirmSubtitle":"Можете да го намерите по-късно в архивираните разговори.","threadHeader.archiveConfirmTitle":"Архивиране на разговора?","threadHeader.copyAppLink":"Копирайте директния линк","threadHeader.copySessionId":"Копирайте идентификатора на сесията","threadHeader.copyWorkingDirectory":"Копирайте работната директория","threadHeader.forkIntoLocal":"Разклонете в локален","threadHeader.forkIntoWorktree":"Разклонете в нов worktree","threadHeader.forkPendingWorktreePrompt":"Разклонете този разговор в нов worktree.","threadHeader.forkPendingWorktreeTitle":"Разклонен разговор","threadHeader.forkThreadError":"Неуспешно разклоняване на разговора","threadHeader.forkThreadRequiresGitRepo":"Разклоняването в нов worktree изисква git хранилище","threadHeader.moreActions":"Действия в разговора","threadPage.newThread":"Нов разговор","threadPage.runAction.changeEnvironment":"Сменете средата","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} действия","threadPage.runAction.environmentSelector.label":"Изберете среда","threadPage.runAction.label":"Изпълни","threadPage.runAction.missing.label":"Настройте действие за изпълнение","threadPage.runAction.setup.commandLabel":"Команда за изпълнение","threadPage.runAction.setup.description":"Кажете на Codex как да инсталира зависимости и да стартира апа ви.","threadPage.runAction.setup.editMore":"Настройки на средата","threadPage.runAction.setup.placeholder":"напр.: npm инсталиране npm изпълнение","threadPage.runAction.setup.submit":"Запази и изпълни","threadPage.runAction.setup.title":"Изпълни","threadPage.runAction.tooltip.withEnvironment":"{environmentName} действия","threadPage.toggleDiffPanel":"Показване или скриване на панела с разлики","threadPage.toggleTerminal":"Превключете терминала","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Отворете папка","toolSummaryForCmd.exploredFiles":"<verb>Списък</verb> с файлове","toolSummaryForCmd.exploredFilesInPath":"<verb>Списък</verb> на файловете в {path}","toolSummaryForCmd.exploringFiles":"Зареждане на <verb>списъка</verb> с файлове","toolSummaryForCmd.exploringFilesInPath":"<verb>Извеждане</verb> на файловете в {path}","toolSummaryForCmd.ranGenericCommand":"<status>Изпълни команда</status>{timer} ","toolSummaryForCmd.ranSpecificCommand":"<status>Изпълнено</status>{command}{timer}","toolSummaryForCmd.read":"<verb>Прочетени</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Изпълнява се команда</status>{timer}","toolSummaryForCmd.runningTimer":"за {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Търсено</verb> е за {query}","toolSummaryForCmd.searchedForFiles":"<verb>Търсени</verb> файлове","toolSummaryForCmd.searchedForInPath":"<verb>Търсено</verb> е за {query} в {path}","toolSummaryForCmd.searchingFor":"<verb>Търсене</verb> на {query}","toolSummaryForCmd.searchingForFiles":"<verb>Търсене</verb> на файлове","toolSummaryForCmd.searchingForInPath":"<verb>Търсене</verb> на {query} в {path}","traceRecording.details.noteLabel":"Какво правехте, когато това се случи? (по избор)","traceRecording.details.notePlaceholder":"Отворих голям разговор, след което многократно превключвах раздели…","traceRecording.details.submit":"Изпратете диагностичния запис","traceRecording.details.subtitle":"Можем да изпратим диагностичен запис за производителност, за да помогнем с установяването на проблеми с производителността.","traceRecording.details.title":"Да се изпрати ли диагностичен запис за производителността?","traceRecording.progress.subtitle":"Оставете Codex отворен, докато процесът приключи.","traceRecording.saving.title":"Запазване на диагностичния запис…","traceRecording.startDetails.cancel":"Отказ","traceRecording.startDetails.submit":"Добре, започнете записа","traceRecording.startDetails.subtitle":"След като натиснете „Добре“, възпроизведете проблема с производителността, след което изберете плаващия червен индикатор, за да спрете записа и да прегледате диагностичния запис.","traceRecording.startDetails.title":"Как работи диагностичният запис","traceRecording.stopButton.ariaLabel":"Спрете диагностичния запис","traceRecording.upload.successToast":"Диагностичният запис за производителност е изпратен.","traceRecording.uploading.title":"Изпращане на диагностичния запис…","wham.diff.addComment":"Добавяне на коментари","wham.diff.binaryFile":"Двоичният файл не е показан","wham.diff.noContent":"Няма съдържание","wham.fileTag.deleted":"Изтрито","wham.fileTag.new":"Нов","wham.formattedRelativeDateTime.compactDaysAgo":"{value}дни","wham.formattedRelativeDateTime.compactHoursAgo":"{value}час(а)","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}мин.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}мес.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}седм.","wham.formattedRelativeDateTime.compactYearsAgo":"{value}год.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Работа по вашата задача","wham.whamProposedTask.title":"Предложена задача","wham.whamProposedTask.useSuggestion":"Използвайте предложението","workspaceRootDialog.addError":"Неуспешно добавяне на проект","workspaceRootDialog.cancel":"Отказ","workspaceRootDialog.confirmAdd":"Добавете проект","workspaceRootDialog.confirmPick":"Използвайте проект","workspaceRootDialog.description":"Въведете път на {host}, който да използвате като проект","workspaceRootDialog.pathLabel":"Път до проекта","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Добавете път до проекта","workspaceRootDialog.title.pick":"Изберете път до проекта","worktreeInitV2.cancel":"Отказ","worktreeInitV2.notification.failedTitle":"Настройката на работното дърво не бе успешна","worktreeInitV2.output.empty":"Изчакване на резултат…","worktreeInitV2.status.error":"Настройката на worktree не бе успешна.","worktreeInitV2.status.running":"Създаване на worktree и изпълнение на настройката.","worktreeInitV2.status.runningFork":"Създаване на worktree за разклоняване на този разговор.","worktreeInitV2.status.success":"Worktree е готов.","worktreeInitV2.title":"Създаване на worktree","worktreeInitV2.workLocallyInstead":"Работете локално вместо това","worktreeRestoreBanner.body":"Worktree на този процес беше премахнат, за да се освободи място на диска","worktreeRestoreBanner.missing.body":"Работната директория на този разговор вече не съществува","worktreeRestoreBanner.missing.title":"Текущата работна директория липсва","worktreeRestoreBanner.restore.error":"неуспешно възстановяване на worktree: {message}","worktreeRestoreBanner.restore.success":"worktree е възстановен","worktreeRestoreBanner.restoreCta":"Възстановяване на worktree","worktreeRestoreBanner.title":"worktree е почистен"};Object.assign(e,globalThis.codexI18nOverrides?.["bg-BG"]);export{e as default};
 //# sourceMappingURL=bg-BG-Drzlr2pW.js.map
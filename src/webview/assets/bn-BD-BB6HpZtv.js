@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"কপি করুন","app.sidebar.hide":"সাইডবার আড়াল করুন","app.sidebar.show":"সাইডবার দেখান","app.sidebar.tooltip":"সাইডবার টগল করুন","appHeader.installUpdate":"আপডেট করুন","appSunset.body":"অ্যাপটির এই সংস্করণটি আর সমর্থিত নয়। <here>এখান</here> থেকে সর্বশেষ সংস্করণটি ডাউনলোড করুন।","appSunset.title":"আপডেট প্রয়োজন","automation.updateDirective.create":"তৈরি করুন","automation.updateDirective.open":"খুলুন","automation.updateDirective.untitled":"শিরোনামহীন অটোমেশন","automation.updateDirective.update":"আপডেট করুন","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {#টি প্রচেষ্টা} other {#টি প্রচেষ্টা}}","cloudTaskRow.archiveError":"কাজ আর্কাইভ করা ব্যর্থ হয়েছে","code.diff.requestChange":"পরিবর্তনের অনুরোধ করুন","code.diffComment.cancel":"বাতিল করুন","code.diffComment.comment":"কমেন্ট করুন","code.diffComment.delete":"মুছুন","code.diffComment.save":"সেভ করুন","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"কোন ফলাফল রিপোর্ট করা হয়নি।","codex.alert.closeAriaLabel":"বন্ধ করুন","codex.appUpsellBanner.cbpApi.message":"Codex অ্যাপের সাহায্যে দ্রুত তৈরি করুন। এখনই বা {learnMoreLink}-এ ডাউনলোড করুন।","codex.appUpsellBanner.download":"ডাউনলোড করুন","codex.appUpsellBanner.freeGo.message":"2রা মার্চ পর্যন্ত আপনার প্ল্যানে Codex অন্তর্ভুক্ত করা হয়েছে। দ্রুত তৈরি করতে Codex অ্যাপটি ব্যবহার করে দেখুন।","codex.appUpsellBanner.later":"পরে","codex.appUpsellBanner.learnMoreLowercase":"আরও জানুন","codex.appUpsellBanner.new":"নতুন","codex.appUpsellBanner.proPlusBusiness.message":"2রা এপ্রিল পর্যন্ত 2x হার সীমা সহ Codex অ্যাপটি ব্যবহার করে দেখুন। এখনই বা {learnMoreLink}-এ ডাউনলোড করুন।","codex.appUpsellBanner.title":"Codex অ্যাপ","codex.applyDropdown.header.changes":"পরিবর্তন","codex.applyDropdown.header.fileCount":"{count, plural, one {#টি ফাইল} other {#টি ফাইল}}","codex.applyDropdown.header.rows":"সারি","codex.applyDropdown.header.title":"পরিবর্তনগুলি প্রয়োগ করুন","codex.applyDropdown.header.workspace":"প্রোজেক্ট","codex.applyDropdown.results.conflicted":"{count, plural, one {1টি ফাইলে দ্বন্দ্ব পাওয়া গেছে: } other {{count}টি ফাইলে দ্বন্দ্ব পাওয়া গেছে:}}","codex.applyDropdown.results.empty":"কোনও ফাইল কপি করা হয়নি","codex.applyDropdown.results.skipped":"{count, plural, one {1টি ফাইল বাদ দেওয়া হয়েছে:} other {{count}টি ফাইল বাদ দেওয়া হয়েছে:}}","codex.applyOrRevertBanner.apply":"প্রয়োগ করুন","codex.applyOrRevertBanner.applyMessage":"পরিবর্তনগুলি প্রয়োগ করবেন এবং স্থানীয়ভাবে চালিয়ে যাবেন?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"এই কাজটি {environment}-এ তৈরি করা হয়েছিল তাই এটি ভালোভাবে প্রয়োগ না-ও হয়ে থাকতে পারে।","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"পরিবর্তনগুলি {environment}-এ করা হয়েছিল তাই এটি ভালোভাবে প্রয়োগ না-ও হয়ে থাকতে পারে।","codex.applyOrRevertBanner.reapply":"আবার প্রয়োগ করুন","codex.applyOrRevertBanner.revert":"পূর্বাবস্থায় ফেরান","codex.applyOrRevertBanner.revertMessage":"প্রয়োগ করা পরিবর্তনগুলিকে পূর্বাবস্থায় ফেরাবেন?","codex.applyResultsDialog.applied":"ভালোভাবে প্রয়োগ করা হয়েছে ({count})","codex.applyResultsDialog.close":"বন্ধ করুন","codex.applyResultsDialog.conflicted":"দ্বন্দ্বপূর্ণ ({count})","codex.applyResultsDialog.noDetails":"ফাইলের কোনও বিবরণ পাওয়া যাচ্ছে না।","codex.applyResultsDialog.skipped":"বাদ দেওয়া হয়েছে ({count})","codex.applyResultsDialog.title":"ফলাফল প্রয়োগ করুন","codex.archiveInfo":"{dataControlsLink}-এ আর্কাইভ করা চ্যাটগুলি দেখুন","codex.archiveInfo.dataControlsLink":"ডেটা নিয়ন্ত্রণ","codex.archiveInfo.electron":"{settingsLink}-এ আর্কাইভ করা চ্যাট দেখুন","codex.archiveInfo.extension":"আপনার .codex ফোল্ডারে আর্কাইভ করা চ্যাটগুলি দেখুন।","codex.archiveInfo.settingsLink":"সেটিংস","codex.banner.content.description":"কাজগুলিকে পাশাপাশি চালান, যেকোন জায়গায় অগ্রগতি ট্র্যাক করুন এবং AI দিয়ে পুল রিকোয়েস্ট পর্যালোচনা করুন।","codex.banner.content.headline":"Codex এগুলির সবকটাই করে।","codex.cloudTaskRow.archiveTask":"কাজ আর্কাইভ করুন","codex.cloudTaskRow.confirmArchiveTask":"নিশ্চিত করুন","codex.command.feedback":"মতামত","codex.command.findInThread":"খুঁজুন","codex.command.forceReloadSkills":"জোর করে দক্ষতা পুনরায় লোড করুন","codex.command.logOut":"লগ-আউট করুন","codex.command.manageTasks":"টাস্কগুলি ব্যবস্থিত করুন","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"পিছনে","codex.command.navigateForward":"ফরোয়ার্ড","codex.command.newThread":"নতুন থ্রেড","codex.command.nextThread":"পরবর্তী থ্রেড","codex.command.openFolder":"ফোল্ডার খুলুন","codex.command.openSkills":"দক্ষতায় যান","codex.command.openThreadOverlay":"থ্রেড পপ আউট করুন","codex.command.personalitySettings":"ব্যক্তিত্ব","codex.command.previousThread":"পূর্ববর্তী থ্রেড","codex.command.settings":"সেটিংস","codex.command.toggleDiffPanel":"ডিফ প্যানেল টগল করুন","codex.command.toggleSidebar":"সাইডবার টগল করুন","codex.command.toggleTerminal":"টার্মিনাল টগল করুন","codex.commandGroup.app":"অ্যাপ","codex.commandGroup.configure":"কনফিগার করুন","codex.commandGroup.navigation":"ন্যাভিগেশন","codex.commandGroup.panels":"প্যানেল","codex.commandGroup.skills":"দক্ষতা","codex.commandGroup.thread":"থ্রেড","codex.commandGroup.workspace":"প্রোজেক্ট","codex.commandMenu.noResults":"কোনও মিল নেই","codex.commandMenu.searchPlaceholder":"কমান্ড সন্ধান করুন","codex.commandMenu.suggestedGroup":"প্রস্তাবিত","codex.commandMenu.switchWorkspace":"প্রোজেক্ট পরিবর্তন করুন","codex.commandMenu.title":"কমান্ড মেনু","codex.common.retry":"আবার চেষ্টা করুন","codex.composer.searchBranches":"ব্রাঞ্চ খুঁজুন...","codex.dialog.basic.body":"এটি আমাদের Radix Dialog-এর ওপর একটি অতিরিক্ত স্তর ব্যবহার করে তৈরি সাধারণ মোডাল ডায়ালগ।","codex.dialog.basic.cancel":"বাতিল করুন","codex.dialog.basic.confirm":"নিশ্চিত করুন","codex.dialog.basic.open":"ডায়ালগ খুলুন","codex.dialog.basic.title":"নমুনা ডায়ালগ","codex.dialog.long.close":"বন্ধ করুন","codex.dialog.long.line":"ডায়ালগের ভিতরে দীর্ঘ কন্টেন্ট প্রদর্শনের জন্য স্ক্রোলযোগ্য লাইন {index}।","codex.dialog.long.open":"দীর্ঘ ডায়ালগ খুলুন","codex.dialog.long.title":"দীর্ঘ কন্টেন্ট ডায়ালগ","codex.dialog.unstyled.body":"এই গল্পটি দেখায় কিভাবে কলাররা ডায়ালগ কন্টেন্ট স্টাইলিং সম্পূর্ণরূপে নিয়ন্ত্রণ করতে পারে।","codex.dialog.unstyled.open":"স্টাইলবিহীন ডায়ালগ খুলুন","codex.dialog.unstyled.title":"স্টাইলবিহীন কন্টেন্ট","codex.diff.openInEditorPrompt.openButton":"'এডিটর'-এ গিয়ে খুলুন","codex.diff.openInEditorPrompt.singleLine":"এই ফাইলটি এখানে দেখানোর পক্ষে খুব বড়।","codex.diffView.failedToDecodeBase64Diff":"base64 ডিফ ডিকোড করা যায়নি","codex.diffView.filesChanged":"{fileCount, plural, one {#টি ফাইল পরিবর্তন করা হয়েছে} other {#টি ফাইল পরিবর্তন করা হয়েছে}}","codex.diffView.imagePreviewAlt":"ছবির প্রিভিউ","codex.diffView.imagePreviewEmpty":"কোনও ছবি নেই","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"কোনও ডিফ ডেটা নেই","codex.diffView.pdfPreview.nextPage":"পরবর্তী পৃষ্ঠা","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"পূর্ববর্তী পৃষ্ঠা","codex.diffView.pdfPreviewEmpty":"কোনও PDF প্রিভিউ নেই","codex.diffView.pdfPreviewError":"PDF প্রিভিউ দেখানো যাচ্ছে না","codex.diffView.richPreviewDisable":"রিচ প্রিভিউ অক্ষম করুন","codex.diffView.richPreviewEnable":"রিচ প্রিভিউ সক্ষম করুন","codex.diffView.richPreviewLoading":"প্রিভিউ লোড হচ্ছে…","codex.diffView.richPreviewToggle":"রিচ প্রিভিউ টগল করুন","codex.diffView.switchToUnified":"ইউনিফাইড ডিফ-এ পাল্টান","codex.environmentSelector.noEnvironment":"কোনও এনভায়রনমেন্ট নেই","codex.environments.environmentSettings":"এনভায়রনমেন্ট সেটিংস","codex.environments.learnMore":"আরও জানুন","codex.environments.listError":"এনভায়রনমেন্ট লোড করা যায়নি","codex.environments.noEnvironmentsFound":"কোনও এনভায়রনমেন্ট পাওয়া যায়নি","codex.environments.searchError":"এনভায়রনমেন্ট সন্ধান করা যায়নি।","codex.errorBoundary.genericError":"ওহ্, একটি ত্রুটি ঘটেছে","codex.errorBoundary.goHome":"আবার চেষ্টা করুন","codex.file.patch.missing":"এই ফাইলের জন্য প্যাচ তৈরি করা যায়নি।","codex.gallery.automations.cwdLabel":"প্রোজেক্ট","codex.gallery.automations.nameLabel":"নাম","codex.gallery.automations.namePlaceholder":"একটি কাজের সারসংক্ষেপ করুন","codex.gallery.automations.promptLabel":"প্রম্পট","codex.gallery.automations.promptPlaceholder":"Codex-এর কী করা উচিত তা বর্ণনা করুন।","codex.gallery.dialogs.automation.label":"অটোমেশন ডায়ালগ","codex.gallery.dialogs.basic.body":"সহজবোধ্য নিশ্চিতকরণ বা সংক্ষিপ্ত ফর্মের জন্য এই লে-আউটটি ব্যবহার করুন।","codex.gallery.dialogs.basic.cancel":"বাতিল করুন","codex.gallery.dialogs.basic.confirm":"নিশ্চিত করুন","codex.gallery.dialogs.basic.label":"বেসিক ডায়ালগ","codex.gallery.dialogs.basic.title":"নমুনা ডায়ালগ","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"সমস্যাটি বর্ণনা করুন","codex.gallery.dialogs.feedbackSubmission.bad":"খারাপ ফলাফল","codex.gallery.dialogs.feedbackSubmission.bug":"ত্রুটি","codex.gallery.dialogs.feedbackSubmission.good":"ভালো ফলাফল","codex.gallery.dialogs.feedbackSubmission.includeLogs":"বর্তমান Codex সেশন লগ অন্তর্ভুক্ত করুন","codex.gallery.dialogs.feedbackSubmission.label":"প্রতিক্রিয়া জমা দেওয়া","codex.gallery.dialogs.feedbackSubmission.other":"অন্যান্য","codex.gallery.dialogs.feedbackSubmission.placeholder":"সমস্যাটি এখানে বর্ণনা করুন","codex.gallery.dialogs.feedbackSubmission.submit":"জমা দিন","codex.gallery.dialogs.feedbackSubmission.title":"মতামত","codex.gallery.dialogs.feedbackSuccess.body":"প্রতিক্রিয়া আপলোড করা হয়েছে। যদি সমস্যাটি থেকে যায়, তাহলে একটি GitHub সমস্যা খুলুন অথবা বিদ্যমান খোলা সমস্যায় থ্রেড id উল্লেখ করুন:","codex.gallery.dialogs.feedbackSuccess.dismiss":"খারিজ করুন","codex.gallery.dialogs.feedbackSuccess.label":"প্রতিক্রিয়া দেওয়া সফল হয়েছে","codex.gallery.dialogs.feedbackSuccess.title":"মতামত আপলোড করা হয়েছে","codex.gallery.dialogs.gitApplyResults.applied":"ভালোভাবে প্রয়োগ করা হয়েছে (2)","codex.gallery.dialogs.gitApplyResults.close":"বন্ধ করুন","codex.gallery.dialogs.gitApplyResults.conflicted":"দ্বন্দ্বপূর্ণ (1)","codex.gallery.dialogs.gitApplyResults.label":"ফলাফল প্রয়োগ করুন","codex.gallery.dialogs.gitApplyResults.title":"ফলাফল প্রয়োগ করুন","codex.gallery.dialogs.gitPushError.body":"যদি আপনি জানেন যে পুরানো ইতিহাস ওভাররাইট করা নিরাপদ, তাহলে সর্বশেষ পরিবর্তনগুলি টেনে আনুন অথবা জোর করে পুশ করুন।","codex.gallery.dialogs.gitPushError.cancel":"বাতিল করুন","codex.gallery.dialogs.gitPushError.force":"জোর করে পুশ করুন","codex.gallery.dialogs.gitPushError.label":"পুশ করায় ত্রুটি","codex.gallery.dialogs.gitPushError.subtitle":"আপনার ব্রাঞ্চটি মূল/প্রধানের পিছনে।","codex.gallery.dialogs.gitPushError.title":"পরিবর্তনগুলি পুশ করা যায়নি","codex.gallery.dialogs.gitRevert.cancel":"বাতিল করুন","codex.gallery.dialogs.gitRevert.confirm":"পূর্বাবস্থায় ফেরান","codex.gallery.dialogs.gitRevert.label":"পরিবর্তনগুলি পূর্বাবস্থায় ফেরান","codex.gallery.dialogs.gitRevert.skip":"আবার জিজ্ঞাসা করবেন না","codex.gallery.dialogs.gitRevert.subtitle":"এই অ্যাকশনটি এই সমস্ত পরিবর্তনগুলি সরিয়ে দেয়।","codex.gallery.dialogs.gitRevert.title":"পরিবর্তনগুলি ফিরিয়ে আনবেন?","codex.gallery.dialogs.longForm.label":"দীর্ঘ ফর্মের ডায়ালগ","codex.gallery.dialogs.proseModal.body":"এই মোডালটি স্টাইলটি দীর্ঘ নির্দেশাবলী, অনবোর্ডিং বা সমৃদ্ধ কন্টেন্ট ব্লকের জন্য ব্যবহৃত হয়।","codex.gallery.dialogs.proseModal.close":"বন্ধ করুন","codex.gallery.dialogs.proseModal.subtitle":"দীর্ঘ ফর্ম নির্দেশিকা বা ডকুমেন্টেশন এখানে শেয়ার করুন।","codex.gallery.dialogs.proseModal.title":"গদ্য মোডাল","codex.gallery.dialogs.submitBlocked.label":"জমা দেওয়া অবরুদ্ধ","codex.gallery.dialogs.submitBlocked.message":"প্রোজেক্টটি উপলভ্য না হওয়ার কারণে আপনার মেসেজ পাঠানো যায়নি।","codex.gallery.dialogs.submitBlocked.ok":"ঠিক আছে","codex.gallery.dialogs.submitBlocked.title":"মেসেজ পাঠানো যাচ্ছে না","codex.gallery.dialogs.title":"ডায়ালগ","codex.gallery.dropdown.filterPlaceholder":"আইটেম ফিল্টার করুন","codex.gallery.dropdowns.actionRow":"কাজের সারি","codex.gallery.dropdowns.actionRow.disabled":"অক্ষম করা কাজ","codex.gallery.dropdowns.actionRow.primary":"প্রাথমিক কাজ","codex.gallery.dropdowns.actionRow.secondary":"গৌণ কাজ","codex.gallery.dropdowns.actionRow.trigger":"কাজ দেখান","codex.gallery.dropdowns.basic":"বেসিক ড্রপডাউন","codex.gallery.dropdowns.basic.newFile":"নতুন ফাইল","codex.gallery.dropdowns.basic.newFolder":"নতুন ফোল্ডার","codex.gallery.dropdowns.basic.openSettings":"সেটিংস খুলুন","codex.gallery.dropdowns.basic.title":"দ্রুত কাজ","codex.gallery.dropdowns.basic.trigger":"মেনু খুলুন","codex.gallery.dropdowns.basic.upload":"আপলোড করুন","codex.gallery.dropdowns.panel":"প্যানেল পৃষ্ঠ","codex.gallery.dropdowns.panel.apply":"প্রয়োগ করুন","codex.gallery.dropdowns.panel.body":"পার্থক্যগুলি পর্যালোচনা করুন এবং আপনার প্রোজেক্টে প্রয়োগ করুন।","codex.gallery.dropdowns.panel.preview":"প্রিভিউ","codex.gallery.dropdowns.panel.title":"পরিবর্তনগুলি প্রয়োগ করুন","codex.gallery.dropdowns.panel.trigger":"প্যানেল খুলুন","codex.gallery.dropdowns.search":"অনুসন্ধানযোগ্য ড্রপডাউন","codex.gallery.dropdowns.search.first":"আলফা চ্যানেল","codex.gallery.dropdowns.search.second":"বিটা ব্রাঞ্চ","codex.gallery.dropdowns.search.third":"প্রার্থীকে মুক্ত করুন","codex.gallery.dropdowns.search.trigger":"আইটেম ফিল্টার করুন","codex.gallery.dropdowns.submenu":"সাবমেনুসহ ড্রপডাউন","codex.gallery.dropdowns.submenu.optionA":"প্রোজেক্ট আলফা","codex.gallery.dropdowns.submenu.optionB":"প্রোজেক্ট বিটা","codex.gallery.dropdowns.submenu.optionC":"প্রোজেক্ট গামা","codex.gallery.dropdowns.submenu.primary":"মালিক আসাইন করুন","codex.gallery.dropdowns.submenu.secondary":"এখানে সরান","codex.gallery.dropdowns.submenu.tertiary":"আর্কাইভ করুন","codex.gallery.dropdowns.submenu.trigger":"কাজ বেছে নিন","codex.gallery.dropdowns.title":"ড্রপডাউন","codex.gallery.inbox.automations.close":"বন্ধ করুন","codex.gallery.inbox.automations.popover.cardTitle":"অটোমেশন ব্যবস্থিত করুন","codex.gallery.inbox.automations.popover.dialogTitle":"অটোমেশন ব্যবস্থিত করুন","codex.header.settingsTooltip":"সেটিংস","codex.hunk.patch.error":"স্টেজ করা যায়নি","codex.hunk.patch.missing":"এই হাঙ্কের জন্য প্যাচ তৈরি করা যায়নি।","codex.hunk.patch.partialSuccess":"আংশিকভাবে সফল","codex.hunk.patch.revertError":"আনস্টেজ করা যায়নি","codex.hunk.patch.revertSuccess":"সফলভাবে আনস্টেজ করা হয়েছে","codex.hunk.patch.success":"সফলভাবে স্টেজ করা হয়েছে","codex.legal.autonomy.details":"আরও বিস্তারিত জানার জন্য, {link} দেখুন","codex.legal.autonomy.details.link":"Codex ডকুমেন্ট","codex.legal.autonomy.title":"আপনি কতটা স্বাধীনতা দিতে চান তা নির্ধারণ করুন","codex.legal.backButton":"পিছনে","codex.legal.cloud.taskOne.meta":"openai/agi · অক্টোবর 12","codex.legal.cloud.taskOne.title":"একজন নতুন ডিজাইনারকে রিপোজিটরির ব্যাখ্যা দিন","codex.legal.cloud.taskThree.meta":"openai/codex · অক্টোবর 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"একটি ডার্ক মোড থিম তৈরি করুন","codex.legal.cloud.taskTwo.meta":"openai/agi · অক্টোবর 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"একটি অনবোর্ডিং বাগ সারান","codex.legal.continue.apikey":"জারি রাখুন","codex.legal.continueButton":"পরবর্তী","codex.legal.copilot.details":"সমস্ত মডেল কল, বিলিং এবং রেট সীমার জন্য আপনার Copilot প্ল্যান ব্যবহার করে। Codex এক্সটেনশন ব্যবহার {oaiTos} ও {gitHubTos} উভয়ের উপর নির্ভর করে।","codex.legal.copilot.gitHubTosLink":"GitHub পরিষেবার শর্তাবলী","codex.legal.copilot.oaiTosLink":"OpenAI Codex পরিষেবার শর্তাবলী","codex.legal.copilot.title":"GitHub Copilot দ্বারা চালিত","codex.legal.mistakes.review":"এটি যে কোডটি লেখে এবং কমান্ডগুলি চালায় তা পর্যালোচনা করুন","codex.legal.mistakes.title":"Codex-এর ভুল হতে পারে","codex.legal.powered.details":"আপনার প্ল্যানের রেট সীমা এবং {link} ব্যবহার করে","codex.legal.powered.details.link":"প্রশিক্ষণ ডেটার পছন্দসমূহ","codex.legal.powered.title":"আপনার ChatGPT অ্যাকাউন্ট দ্বারা চালিত","codex.legal.step.cloud.subtitle":"ব্যাকগ্রাউন্ডে চালানোর জন্য Codex-এ কাজগুলিকে পাঠান যাতে আপনি মনোযোগ ধরে রাখতে পারেন এবং আরও দ্রুত এগিয়ে যেতে পারেন।","codex.legal.step.cloud.title":"ক্লাউড-ভিত্তিক Codex-এ পাঠান","codex.legal.step.intro.subtitle":"Codex আপনার রিপোজিটরিতে সরাসরি নেভিগেট করে, এডিট করে, কমান্ড চালায় এবং টেস্ট সম্পাদন করে। আপনার ChatGPT অ্যাকাউন্ট দ্বারা চালিত।","codex.legal.step.intro.title":"আপনার IDE-তে Codex","codex.legal.step.todo.subtitle":"একটি TODO মন্তব্য লিখুন এবং এক ক্লিকেই এটিকে একটি Codex টাস্কে পরিণত করুন।","codex.legal.step.todo.title":"TODO-গুলিকে Codex টাস্কে পরিণত করুন","codex.legal.todo.heading":"// TODO: implement schema","codex.localConversation.closeImagePreview":"ছবির প্রিভিউ বন্ধ করুন","codex.localConversation.userImageAttachment":"ব্যবহারকারীর সংযোজন","codex.localTaskRow.archiveTask":"থ্রেড আর্কাইভ করুন","codex.localTaskRow.awaitingApproval":"অনুমোদনের অপেক্ষায় আছে","codex.localTaskRow.awaitingResponse":"উত্তরের জন্য অপেক্ষা করছি","codex.localTaskRow.confirmArchiveTask":"নিশ্চিত করুন","codex.loggedOut.apiKeyPrompt.cancel":"বাতিল করুন","codex.loggedOut.apiKeyPrompt.confirm":"ঠিক আছে","codex.loggedOut.apiKeyPrompt.getKey":"API কি পান","codex.loggedOut.apiKeyPrompt.inputLabel":"আপনার OpenAI API কি লিখুন","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API কি ব্যবহার করে ক্লাউড কাজগুলিকে অক্ষম করা হয়েছে","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot এবং API কি ব্যবহার করে ক্লাউড কাজগুলিকে অক্ষম করা হয়েছে","codex.loggedOut.signIn":"ChatGPT দিয়ে সাইন-ইন করুন","codex.loggedOut.signIn.cancel":"সাইন-ইন বাতিল করুন","codex.loggedOut.signInWithCopilot":"GitHub Copilot দিয়ে সাইন-ইন করুন","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API কি ব্যবহার করুন","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} টুল","codex.mcpTool.collapsedLabel.verb.called":"কল করা হয়েছে","codex.mcpTool.collapsedLabel.verb.calling":"কল করা হচ্ছে","codex.mcpTool.embeddedResource.contentLabel":"কন্টেন্ট","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-এর ধরন","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"টুলটি কোনও কন্টেন্ট ফেরত দেয়নি","codex.mcpTool.rawPayloadHeading":"র {server}.{tool}টি টুল কল পেলোড","codex.menu.recent":"সাম্প্রতিক","codex.menu.seeAllHistory":"সব ইতিহাস দেখুন","codex.modelCapacityBanner.headline.noReset":"{modelName} বর্তমানে সক্ষমতার সীমায় পৌঁছে গেছে। পরে আবার চেষ্টা করুন বা অন্য মডেল দিয়ে নতুন কথোপকথন শুরু করুন।","codex.modelCapacityBanner.headline.withReset":"{modelName} বর্তমানে সক্ষমতার সীমায় পৌঁছে গেছে। {resetDate}-এর পরে আবার চেষ্টা করুন বা অন্য মডেল দিয়ে নতুন কথোপকথন শুরু করুন।","codex.modelCapacityBanner.title":"নির্বাচিত মডেলটি সক্ষমতার সীমায় পৌঁছে গেছে","codex.patch.change.contentsDeleted":"কন্টেন্ট মুছে ফেলা হয়েছে","codex.patch.change.created":"তৈরি করা হয়েছে","codex.patch.change.created-file":"ফাইল তৈরি করা হয়েছে","codex.patch.change.creating":"তৈরি করা হচ্ছে","codex.patch.change.deleted":"মুছে ফেলা হয়েছে","codex.patch.change.deleted-file":"মুছে ফেলা ফাইল","codex.patch.change.deleting":"মুছে ফেলা হচ্ছে","codex.patch.change.edited":"এডিট করা হয়েছে","codex.patch.change.edited-file":"এডিট করা ফাইল","codex.patch.change.editing":"এডিট করা হচ্ছে","codex.patch.change.noChanges":"কোনও পরিবর্তন নেই","codex.patch.change.rejected-add":"প্রত্যাখান করা হয়েছে","codex.patch.change.rejected-delete":"প্রত্যাখান করা হয়েছে","codex.patch.change.rejected-edit":"প্রত্যাখান করা হয়েছে","codex.plan.stepIndexPrefix":"{index}।","codex.plan.tasksCompletedSummary":"{total}টির মধ্যে {completed}টি কাজ সম্পূর্ণ হয়েছে","codex.plan.todoListCreated":"{total}টি কাজ দিয়ে করণীয় কাজের তালিকা তৈরি করা হয়েছে","codex.profileDropdown.apiKeyAuth":"API কি দিয়ে লগ-ইন করেছেন","codex.profileDropdown.codexSettings":"Codex সেটিংস","codex.profileDropdown.copilotAuth":"Copilot দিয়ে লগ-ইন করেছেন","codex.profileDropdown.defaultAccountTitle":"ডিফল্ট অ্যাকাউন্ট","codex.profileDropdown.enterBehavior":"দীর্ঘ প্রম্পট পাঠাতে {modifierSymbol} + এন্টার টিপুন","codex.profileDropdown.enterBehaviorError":"সেটিংস আপডেট করা যায়নি","codex.profileDropdown.getPlus":"উচ্চতর সীমার জন্য আপগ্রেড করুন","codex.profileDropdown.keyboardShortcuts":"কিবোর্ডের শর্টকাট","codex.profileDropdown.language":"ভাষা","codex.profileDropdown.languageDefault":"স্বয়ং-শনাক্ত","codex.profileDropdown.languageSearchPlaceholder":"ভাষা খুঁজুন","codex.profileDropdown.languageUpdateError":"ভাষা আপডেট করা যায়নি","codex.profileDropdown.logOut":"লগ-আউট করুন","codex.profileDropdown.mcp":"MCP সেটিংস","codex.profileDropdown.openConfigToml":"config.toml খুলুন","codex.profileDropdown.openConfigToml.wsl":"WSL এনভায়রনমেন্টে config.toml খুলুন","codex.profileDropdown.openExtensionSettings":"সেটিংস খুলুন","codex.profileDropdown.openMcpSettings":"MCP সেটিংস খুলুন","codex.profileDropdown.openOnStartup":"স্টার্টআপে খুলুন","codex.profileDropdown.openOnStartupError":"সেটিংস আপডেট করা যায়নি","codex.profileDropdown.openSkillsSettings":"দক্ষতা সেটিংস খুলুন","codex.profileDropdown.personalAccountTitle":"ব্যক্তিগত অ্যাকাউন্ট","codex.profileDropdown.queueFollowUps":"ফলো-আপগুলি কিউতে রাখুন","codex.profileDropdown.queueFollowUpsError":"সেটিংস আপডেট করা যায়নি","codex.profileDropdown.readDocs":"ডকুমেন্ট পড়ুন","codex.profileDropdown.readSkillsDocs":"ডকুমেন্ট পড়ুন","codex.profileDropdown.runInWsl":"WSL-এ চালান","codex.profileDropdown.runInWslError":"সেটিংস আপডেট করা যায়নি","codex.profileDropdown.runInWslTooltip":"WSL-এর ভেতরে Codex চালায়। উন্নত স্যান্ডবক্স সুরক্ষা এবং আরও ভাল কাজ পাবার জন্য সুপারিশ করা হয়।","codex.profileDropdown.settings":"IDE সেটিংস","codex.profileDropdown.settingsPage":"সেটিংস","codex.profileDropdown.signInWithOpenAI":"ChatGPT দিয়ে সাইন-ইন করুন","codex.profileDropdown.skills":"দক্ষতা সেটিংস","codex.profileDropdown.switchToCopilotAccount":"Copilot অ্যাকাউন্ট ব্যবহার করুন","codex.profileDropdown.switchToOpenAIAccount":"OpenAI অ্যাকাউন্ট ব্যবহার করুন","codex.profileDropdown.todoCodelens":"TODO মন্তব্যগুলির সমাধান করুন","codex.profileDropdown.todoCodelensError":"সেটিংস আপডেট করা যায়নি","codex.profileDropdown.windowsDocumentation":"Windows ডকুমেন্টেশন","codex.profileFooter.signedInFallback":"সেটিংস","codex.profileFooter.upgrade":"আপগ্রেড করুন","codex.recentTasksMenu.clearSearch":"সন্ধান সাফ করুন","codex.recentTasksMenu.cloud":"ক্লাউড-এর কাজগুলি","codex.recentTasksMenu.count":"{count, plural, =0 {কোনো কাজ চলছে না} one {#টি কাজ চলছে} other {#টি কাজ চলছে}}","codex.recentTasksMenu.empty":"এখনও কোনও থ্রেড নেই","codex.recentTasksMenu.errorCloud":"কাজগুলি লোড করা যায়নি","codex.recentTasksMenu.errorCloud.inline":"ক্লাউডের কাজগুলি লোড করা যায়নি।","codex.recentTasksMenu.filterAll":"সব","codex.recentTasksMenu.filterCloudTasks":"ক্লাউডের কাজগুলি ফিল্টার করুন","codex.recentTasksMenu.filterTooltip":"এনভায়রনমেন্ট অনুসারে কাজগুলিকে ফিল্টার করুন","codex.recentTasksMenu.local":"স্থানীয় কাজ","codex.recentTasksMenu.recent":"সব কাজ","codex.recentTasksMenu.search":"সাম্প্রতিক কাজগুলিকে খুঁজুন","codex.recentTasksMenu.searchEmpty":"কোনও ফলাফল নেই","codex.recentTasksMenu.tooltip":"কাজের ইতিহাস","codex.recentTasksMenu.trigger":"সাম্প্রতিক কাজ। {count, plural, one {#টি কাজ চলছে} other {#টি কাজ চলছে}}","codex.remoteConversation.applyDiff.applyCta":"পরিবর্তনগুলি প্রয়োগ করুন","codex.remoteConversation.applyDiff.dropdownTitle":"স্থানীয় ব্রাঞ্চে পরিবর্তনগুলি প্রয়োগ করুন","codex.remoteConversation.applyDiff.revertCta":"পরিবর্তনগুলি পূর্বাবস্থায় ফেরান","codex.remoteConversation.closeImagePreview":"ছবির প্রিভিউ বন্ধ করুন","codex.remoteConversation.codexCloudTask":"আপনি একটি <u>Codex ক্লাউড</u>-এর কাজ দেখছেন","codex.remoteConversation.errorWithMessage":"ত্রুটি: {message}","codex.remoteConversation.loadingImage":"ছবি লোড হচ্ছে","codex.remoteConversation.openInWeb":"ওয়েবে খুলুন","codex.remoteConversation.streaming":"শুরু হচ্ছে","codex.remoteConversation.turnFailed":"এই কাজটি চলাকালীন একটি ত্রুটি ঘটেছে","codex.remoteConversation.turnTab.loading":"প্রচেষ্টা {number}","codex.remoteConversation.turnTab.title":"প্রচেষ্টা {number}","codex.remoteConversation.userImageAttachment":"ব্যবহারকারীর সংযোজন","codex.remoteConversation.viewPreviousTurns":"ওয়েবে খুলুন","codex.remoteConversation.viewPreviousTurns.buttonText":"খুলুন","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ওয়েবে খুলুন","codex.review.copyGitApplyCommand":"git প্রয়োগ করার কমান্ড কপি করুন","codex.review.copyGitApplyCommand.toast":"ক্লিপবোর্ডে git apply কমান্ডটি কপি করা হয়েছে","codex.review.diffTooLarge.description":"এই পার্থক্যটি রিভিউতে দেখানোর জন্য খুব বড়।","codex.review.diffTooLarge.title":"পার্থক্যটি দেখানোর জন্য খুব বড়","codex.review.expandOrCollapseDiffButton.collapse":"সব পার্থক্য সঙ্কুচিত করুন","codex.review.expandOrCollapseDiffButton.expand":"সব পার্থক্য প্রসারিত করুন","codex.review.expandOrCollapseDiffMenu.collapse":"সব পার্থক্য সঙ্কুচিত করুন","codex.review.expandOrCollapseDiffMenu.expand":"সব পার্থক্য প্রসারিত করুন","codex.review.fileSearch.clear":"ফিল্টার সাফ করুন","codex.review.fileSearch.empty":"বর্তমান ফিল্টারের সাথে কোনও ফাইল মিলছে না।","codex.review.fileSearch.label":"ফাইল ফিল্টার করুন","codex.review.fileSearch.placeholder":"ফাইল ফিল্টার করুন...","codex.review.filesChanged":"{num, plural, =0 {কোনও ফাইল পরিবর্তন করা হয়নি} one {# টি ফাইল পরিবর্তন করা হয়েছে} other {#টি ফাইল পরিবর্তন করা হয়েছে}}","codex.review.find.loadMore":"আরও মিল লোড করুন","codex.review.fullReview.hideFileTree":"ফাইল ট্রি আড়াল করুন","codex.review.fullReview.showFileTree":"ফাইল ট্রি দেখান","codex.review.header.moreOptions":"পর্যালোচনা করার বিকল্পগুলি","codex.review.largeDiff.banner":"বড় ধরনের পার্থক্য শনাক্ত করা হয়েছে — একবারে একটি ফাইল দেখানো হচ্ছে।","codex.review.loadFullFiles.disable":"সম্পূর্ণ ফাইল লোড করবেন না","codex.review.loadFullFiles.enable":"সম্পূর্ণ ফাইল লোড করুন","codex.review.noDiff":"ফাইলের পরিবর্তনগুলি এখানে দেখা যাবে","codex.review.noDiff.gitInit.createRepository":"git রিপোজিটরি তৈরি করুন","codex.review.noDiff.gitInit.creating":"তৈরি করা হচ্ছে...","codex.review.noDiff.gitInit.error":"Git শুরু ব্যর্থ হয়েছে: {message}","codex.review.noDiff.gitInit.success":"গিট রিপোজিটরি তৈরি করা হয়েছে","codex.review.noDiff.gitRepoRequired.description":"এই প্রোজেক্টের পরিবর্তনগুলি ট্র্যাক করুন এবং পূর্বাবস্থায় ফেরান","codex.review.noDiff.gitRepoRequired.title":"git রিপোজিটরি তৈরি করুন","codex.review.noDiff.orNoLongerAvailable":"অথবা সর্বশেষ পার্থক্যগুলি আর উপলভ্য নেই","codex.review.noDiff.reverted":"শেষ পালাটি ফিরিয়ে আনা হয়েছ","codex.review.noDiff.revertedOrCommitted":"শেষ পালাটি হয় প্রত্যাবর্তন করা হয়েছে অথবা অঙ্গীকার করা হয়েছে","codex.review.refreshGitQueries":"রিফ্রেশ করুন","codex.review.revert.file.error":"{path} পূর্বাবস্থায় ফেরানো যায়নি","codex.review.revert.file.partialSuccess":"{path} আংশিকভাবে পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revert.file.success":"{path} পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revert.hunk.error":"হাঙ্ক {hunkNumber} {path}-এ পূর্বাবস্থায় ফেরানো যায়নি","codex.review.revert.hunk.partialSuccess":"হাঙ্ক {hunkNumber} {path}-এ আংশিকভাবে পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revert.hunk.success":"হাঙ্ক {hunkNumber} {path}-এ পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revert.section.error":"বিভাগ পূর্বাবস্থায় ফেরানো যায়নি","codex.review.revert.section.partialSuccess":"বিভাগ আংশিকভাবে পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revert.section.success":"বিভাগ পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revertDialog.cancel":"বাতিল করুন","codex.review.revertDialog.confirm":"নিশ্চিত করুন","codex.review.revertDialog.message":"এই অ্যাকশনটি এই সমস্ত পরিবর্তনগুলি সরিয়ে দেয়।","codex.review.revertDialog.skip":"আবার জিজ্ঞাসা করবেন না","codex.review.revertDialog.title":"পরিবর্তনগুলি ফিরিয়ে আনবেন?","codex.review.richPreview.disable":"রিচ প্রিভিউ অক্ষম করুন","codex.review.richPreview.enable":"রিচ প্রিভিউ সক্ষম করুন","codex.review.source.cloud":"ক্লাউড পরিবর্তন","codex.review.source.local.all":"সব ব্রাঞ্চ পরিবর্তন","codex.review.source.local.lastTurn":"শেষ টার্নের পরিবর্তন","codex.review.source.local.uncommitted":"অঙ্গীকার না করা পরিবর্তনগুলি","codex.review.source.worktree":"কমিট না করা ওয়ার্কট্রি পরিবর্তন","codex.review.stageFilter.empty.staged.description":"এডিটগুলি স্টেজ করার জন্য স্বীকার করুন","codex.review.stageFilter.empty.staged.title":"কোনও স্টেজ করা পরিবর্তন নেই","codex.review.stageFilter.empty.unstaged.description":"কোড পরিবর্তনগুলি এখানে দেখানো হবে","codex.review.stageFilter.empty.unstaged.title":"কোনও স্টেজ না করা পরিবর্তন নেই","codex.review.stageFilter.staged":"স্টেজ করা হয়েছে","codex.review.stageFilter.staged.count":"স্টেজ করা হয়েছে · {count}","codex.review.stageFilter.unstaged":"আনস্টেজ করা হয়েছে","codex.review.stageFilter.unstaged.count":"আনস্টেজ করা হয়েছে · {count}","codex.review.switchToSplit":"স্প্লিট ডিফ মোডে যান","codex.review.switchToUnified":"ইউনিফাইড ডিফ-এ পাল্টান","codex.review.toggleDiffView":"ডিফ ভিউ টগল করুন","codex.review.wordDiffs.disable":"ওয়ার্ড ডিফ অক্ষম করুন","codex.review.wordDiffs.enable":"ওয়ার্ড ডিফ সক্ষম করুন","codex.review.wrap.disable":"ওয়ার্ড র‍্যাপ অক্ষম করুন","codex.review.wrap.enable":"ওয়ার্ড র‍্যাপ সক্ষম করুন","codex.section.patch.missing":"এই বিভাগের জন্য প্যাচ তৈরি করা যায়নি।","codex.shell.collapse":"শেলটি সঙ্কুচিত করুন","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"শেল কন্টেন্ট কপি করা হয়েছে","codex.shell.copy.copyTooltip":"শেল কন্টেন্ট কপি করুন","codex.shell.copyCommand":"কমান্ড কপি করুন","codex.shell.copyOutput":"আউটপুট কপি করুন","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"ব্যাশ","codex.shell.expand":"শেল প্রসারিত করুন","codex.shell.name":"শেল","codex.shell.noOutput":"কোনও আউটপুট নেই","codex.signInFailed.message":"সাইন-ইন করা যায়নি: {rawMessage}","codex.stories.toast.show":"টোস্ট দেখান","codex.stories.tooltip.basic":"এটি একটি টুলটিপ","codex.stories.tooltip.hoverMe":"আমার উপর কার্সর ঘোরান","codex.stories.tooltip.largerOffset":"এই টুলটিপের অফসেট তুলনায় বেশি বড়","codex.stories.tooltip.offsetButton":"বেশি বড় অফসেট","codex.stories.tooltip.shortcutButton":"শর্টকাটের মাধ্যমে","codex.stories.tooltip.withShortcut":"টার্মিনাল টগল করুন","codex.taskRow.title":"নতুন থ্রেড","codex.taskRowLayout.confirm":"নিশ্চিত করুন","codex.threadFindBar.chatFilter":"চ্যাট সন্ধান করুন","codex.threadFindBar.close":"খোঁজ বন্ধ করুন","codex.threadFindBar.diffFilter":"অনুসন্ধানের পার্থক্য","codex.threadFindBar.label":"থ্রেডে খুঁজুন","codex.threadFindBar.nextResult":"পরবর্তী ফলাফল","codex.threadFindBar.noResults":"0 ফলাফল","codex.threadFindBar.placeholder":"থ্রেড সন্ধান করুন…","codex.threadFindBar.placeholder.extension":"থ্রেড সন্ধান করুন…","codex.threadFindBar.placeholder.review":"অনুসন্ধানের পার্থক্য","codex.threadFindBar.placeholder.review.extension":"অনুসন্ধানের পার্থক্য","codex.threadFindBar.previousResult":"পূর্ববর্তী ফলাফল","codex.todoPlan.stepIndexPrefix":"{index}।","codex.ui.bulletSeparator":"।","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# টি ফাইল পরিবর্তন করা হয়েছে} other {#টি ফাইল পরিবর্তন করা হয়েছে}}","codex.unifiedDiff.inlineLargeFile":"ইনলাইন রেন্ডার করার পক্ষে খুব বড়","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"পূর্বাবস্থায় ফেরান","codex.unifiedDiff.revertPatchError":"পরিবর্তনগুলি পূর্বাবস্থায় ফেরানো যায়নি","codex.unifiedDiff.revertPatchSuccess":"পরিবর্তনগুলি পূর্বাবস্থায় ফেরানো হয়েছে","codex.unifiedDiff.reviewChangesSuffix":"পরিবর্তন","codex.unifiedDiff.reviewShort":"পর্যালোচনা করুন","codex.unifiedDiff.viewDiffTooltip":"পর্যালোচনা করুন","codex.upsellBanner.business.headline":"এখনই আরও ব্যবহারের সুযোগ পেতে, আপনার অ্যাডমিনকে একটি অনুরোধ পাঠান, অথবা {resetDate} পর্যন্ত অপেক্ষা করুন।","codex.upsellBanner.cbp.headline":"এখন আরও ব্যবহারের সুযোগ পেতে, আপনার অ্যাডমিনের কাছে একটি অনুরোধ পাঠান।","codex.upsellBanner.cta.addCredits":"ক্রেডিট যোগ করুন","codex.upsellBanner.cta.upgradeAccount":"আপগ্রেড করুন","codex.upsellBanner.cta.viewUsage":"ব্যবহার দেখুন","codex.upsellBanner.freeOrGo.headline":"আপনার হারের সীমা {resetDate}-এ রিসেট করা হবে। Codex-এর ব্যবহার চালিয়ে যেতে, আজই Plus-এ আপগ্রেড করুন।","codex.upsellBanner.general.headline":"আপনার হারের সীমা {resetDate}-এ রিসেট করা হবে।","codex.upsellBanner.general.title":"আপনি Codex মেসেজের সীমায় পৌঁছে গেছেন","codex.upsellBanner.plus.headline":"আপনার হারের সীমা {resetDate}-এ রিসেট করা হবে। Codex-এর ব্যবহার চালিয়ে যেতে, আজই ক্রেডিট যোগ করুন অথবা Pro-তে আপগ্রেড করুন।","codex.upsellBanner.pro.headline":"আপনার হারের সীমা {resetDate}-এ রিসেট করা হবে। Codex-এর ব্যবহার চালিয়ে যেতে এখনই ক্রেডিট যোগ করুন।","codex.userMessage.autoResolveSync":"স্বয়ংক্রিয়ভাবে দ্বন্দ্ব সমাধান করুন","codex.userMessage.commentCount":"{count, plural, one {#টি মন্তব্য} other {#টি মন্তব্য}}","codex.userMessage.copiedAriaLabel":"কপি করা হয়েছে","codex.userMessage.copiedTooltip":"কপি করা হয়েছে","codex.userMessage.copyAriaLabel":"মেসেজ কপি করুন","codex.userMessage.copyTooltip":"কপি করুন","codex.userMessage.implementPlan":"পরিকল্পনা বাস্তবায়িত করুন","codex.userMessage.noContent":"(কোনও কন্টেন্ট নেই)","codex.userMessage.priorConversation":"পূর্ববর্তী কথোপকথনের তথ্যসূত্র","codex.userMessage.reviewMode":"পর্যালোচনা মোড","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} -এর জন্য","codex.webSearch.summary.verb.completed":"ওয়েবে সন্ধান করা হয়েছে","codex.webSearch.summary.verb.inProgress":"ওয়েবে সন্ধান করা হচ্ছে","codex.windowsInstallWslBanner.dismiss":"খারিজ করুন","codex.windowsInstallWslBanner.installWslCta":"স্যান্ডবক্স সক্ষম করুন","codex.windowsInstallWslBanner.learnMore":"আরও জানুন","codex.windowsSandboxBanner.content":"ফাইল সিস্টেম এবং নেটওয়ার্কের ব্যবহার সীমিত করতে এজেন্ট মোড Windows-এ একটি পরীক্ষামূলক স্যান্ডবক্স ব্যবহার করে। {sandboxLink}","codex.windowsSandboxBanner.title":"এজেন্ট মোডের জন্য স্যান্ডবক্স সক্ষম করুন","codex.windowsSubDropdown.windowsSandbox":"Windows স্যান্ডবক্স","codex.windowsSubDropdown.windowsSettings":"Windows সেটিংস","codexUpgradeModal.body":"Codex এখন আমাদের সর্বশেষ অত্যাধুনিক এজেন্টভিত্তিক কোডিং মডেল GPT-5.2-Codex দ্বারা চালিত হয়। কোডিংয়ের ক্ষেত্রে এটি {link}; এটি GPT-5.2-এর ওপর আরও উন্নতি এনেছে।","codexUpgradeModal.close":"বন্ধ করুন","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"আরও বেশি স্মার্ট এবং দ্রুত","codexUpgradeModal.title":"Codex-এ কিছু আপগ্রেড করা হয়েছে","codexUpgradeModal.tryNewModel":"এখনই GPT-5.2-Codex ব্যবহার করে দেখুন","codexUpgradeModal.useExistingModel":"বর্তমান মডেলটি দিয়ে চালিয়ে যান","commentAttachments.numComments":"{count, plural, one {#টি মন্তব্য} other {#টি মন্তব্য}}","commentAttachments.removeAriaLabel":"মন্তব্য সংযোজন সরান","common.close":"বন্ধ করুন","composer.addContext.openFilePickerError":"ফাইল পিকার খোলা যাচ্ছে না","composer.addContextDropdown.ariaLabel":"ফাইল এবং আরও অনেক কিছু যোগ করুন","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ফাইল এবং আরও অনেক কিছু যোগ করুন","composer.addPhotosAndFiles":"ছবি এবং ফাইল যোগ করুন","composer.atMentionList.emptyQuery":"ফাইল খুঁজতে টাইপ করুন","composer.atMentionList.loading":"খোঁজা হচ্ছে...","composer.atMentionList.noResults":"কোনও ফলাফল নেই","composer.attemptsSelector.option":"{count, plural, one {#টি সংস্করণ} other {#টি সংস্করণ}}","composer.attemptsSelector.tooltip":"Codex পাশাপাশি যতগুলি প্রচেষ্টা চালাবে, সেই সংখ্যা","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"থামুন","composer.cloudFollowUp.cloud":"ক্লাউড","composer.cloudFollowUp.local":"লোকাল","composer.cloudFollowUp.whereRun":"এই ফলো-আপ কোথায় চালানো উচিত?","composer.cloudTaskCreationError":"ক্লাউডের কাজ তৈরি করার সময় ত্রুটি হয়েছে","composer.cloudTaskError":"কাজ তৈরি করার সময় ত্রুটি হয়েছে","composer.contextWindow.autoCompactionTooltipLine1":"Codex স্বয়ংক্রিয়ভাবে এটির প্রসঙ্গ সংকুচিত করে","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"প্রসঙ্গ উইন্ডো:","composer.contextWindowUsageStatusFull":"{usage}% ভরে গেছে","composer.contextWindowUsageStatusLeft":"{usage}% ব্যবহৃত ({remaining}% খালি)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k টোকেন ব্যবহৃত হয়েছে","composer.customCliTooltip":"একটি কাস্টম CLI এগজিকিউটেবল ব্যবহার করা হচ্ছে","composer.dictation.aria":"ডিকটেশন দিন","composer.dictation.cancel.aria":"ডিক্টেশন বন্ধ করুন","composer.dictation.cancel.tooltip":"ডিক্টেশন বন্ধ করুন","composer.dictation.startError":"ডিকটেশন শুরু করা যায়নি","composer.dictation.submit.aria":"ট্রান্সক্রাইব করে পাঠান","composer.dictation.submit.tooltip":"ট্রান্সক্রাইব করে পাঠান","composer.dictation.tooltip":"ডিক্টেট করার জন্য ধরে রাখুন","composer.dictation.transcribeError":"অডিও ট্রান্সক্রাইব করা যাচ্ছে না","composer.dictation.unsupported":"এই ডিভাইসে ডিকটেশন উপলভ্য নেই","composer.dropOverlay.holdShift":"টেনে এনে ফেলার জন্য {key} ধরে রাখুন","composer.dropOverlay.shiftKey":"শিফ্ট","composer.environmentSelector.createNew":"নতুন তৈরি করুন","composer.environmentSelector.error":"এনভায়রনমেন্ট লোড করার সময় ত্রুটি হয়েছে","composer.environmentSelector.goBack":"কম্পোজারে ফিরে যান","composer.environmentSelector.title":"এনভায়রনমেন্ট নির্বাচন করুন","composer.environmentSelector.tooltip":"একটি ক্লাউড এনভায়রনমেন্ট নির্বাচন করুন","composer.feedbackSlashCommand.title":"মতামত","composer.filePicker.selectFile":"একটি ফাইল নির্বাচন করুন","composer.filePicker.selectFiles":"ফাইল নির্বাচন করুন","composer.followerTooltip":"চালিয়ে যাওয়ার জন্য, যে উইন্ডোতে এই কথোপকথনটি শুরু হয়েছিল সেখানে ফিরে যান।","composer.footer.branchSwitch.checkoutError":"ব্রাঞ্চ: {message} পরিবর্তন করা যায়নি","composer.footer.branchSwitch.createAndCheckout":"নতুন ব্রাঞ্চ তৈরি করুন এবং তাতে যান…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"পরিবর্তনগুলো কমিট করে একটি নতুন ব্রাঞ্চ তৈরি করুন এবং তাতে যান","composer.footer.branchSwitch.createBranchError":"ব্রাঞ্চ: {message} তৈরি করা যায়নি","composer.footer.branchSwitch.createDialog.ariaLabel":"ব্রাঞ্চের নাম","composer.footer.branchSwitch.createDialog.branchExistsError":"ব্রাঞ্চটি ইতিমধ্যেই আছে।","composer.footer.branchSwitch.createDialog.close":"বন্ধ করুন","composer.footer.branchSwitch.createDialog.createAndCheckout":"তৈরি করুন এবং তাতে যান","composer.footer.branchSwitch.createDialog.placeholder":"নতুন-ব্রাঞ্চ","composer.footer.branchSwitch.createDialog.title":"ব্রাঞ্চ তৈরি করুন এবং তাতে যান","composer.footer.branchSwitch.createDialog.trailingSlashError":"ব্রাঞ্চের নাম “/” দিয়ে শেষ করা যাবে না।","composer.footer.branchSwitch.tooltip":"ব্রাঞ্চ পরিবর্তন করুন","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} চেক আউট করার জন্য {fileCount, plural, one {#টি ফাইল} other {#টি ফাইল}}-এর পরিবর্তনগুলি কমিট করুন।","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"কমিট করুন","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} চেক আউট করার জন্য {fileCount, plural, one {#টি ফাইল} other {#টি ফাইল}}-এর পরিবর্তন।","composer.footer.branchSwitch.uncommittedDialog.cancel":"বাতিল করুন","composer.footer.branchSwitch.uncommittedDialog.commit":"ব্রাঞ্চ কমিট করুন এবং পরিবর্তন করুন...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"নিম্নলিখিত ফাইলগুলিতে আপনার করা পরিবর্তনগুলি এই চেকআউটের মাধ্যমে ওভাররাইট করা হবে:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"চালিয়ে যেতে আপনার পরিবর্তনগুলি কমিট করুন","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"নির্বাচিত ব্রাঞ্চ","composer.footer.branchSwitch.uncommittedDialog.title":"ব্রাঞ্চ পরিবর্তনের জন্য পরিবর্তনগুলি কমিট করুন","composer.footer.branchSwitch.uncommittedSummaryPrefix":"কমিট না করা: {fileCount, plural, one {#টি ফাইল} other {#টি ফাইল}}","composer.forkSlashCommand.description":"এই থ্রেডটি লোকাল অথবা একটি নতুন ওয়ার্কট্রিতে ফর্ক করুন","composer.forkSlashCommand.option.local.description":"একটি নতুন লোকাল থ্রেডে চালিয়ে যান","composer.forkSlashCommand.option.local.title":"লোকাল-এ ফর্ক করুন","composer.forkSlashCommand.option.worktree.description":"একটি নতুন ওয়ার্কট্রিতে চালিয়ে যান","composer.forkSlashCommand.option.worktree.title":"নতুন ওয়ার্কট্রিতে ফর্ক করুন","composer.forkSlashCommand.title":"ফর্ক করুন","composer.imageInputsUnsupported":"এই মডেলটি ছবি ইনপুট সমর্থন করে না। অন্য একটি মডেল ব্যবহার করে দেখুন।","composer.imageUploadFailed":"ছবি আপলোড করা যায়নি","composer.includeIdeContextDropdown":"IDE প্রসঙ্গ অন্তর্ভুক্ত করুন","composer.includeIdeContextDropdown.ariaLabel":"IDE প্রসঙ্গ অন্তর্ভুক্ত করুন","composer.localCwdDropdown.addWorkspaceRoot":"নতুন প্রোজেক্ট যোগ করুন","composer.localCwdDropdown.noActiveRoot":"আপনার প্রোজেক্ট নির্বাচন করুন","composer.localCwdDropdown.noResults":"কোনও ফোল্ডার পাওয়া যায়নি","composer.localCwdDropdown.title":"আপনার প্রোজেক্ট নির্বাচন করুন","composer.localTaskError":"কথোপকথন শুরু করার সময় ত্রুটি হয়েছে","composer.mcpSlashCommand.description":"MCP সার্ভারের স্ট্যাটাস দেখান","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"প্রমাণীকরণ করা হয়নি","composer.mcpStatus.authOauth":"প্রমাণীকরণ করা হয়েছে (OAuth)","composer.mcpStatus.authToken":"প্রমাণীকরণ করা হয়েছে (API কি)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"বন্ধ করুন","composer.mcpStatus.disabled":"অক্ষম করা হয়েছে","composer.mcpStatus.emptyLabel":"সার্ভার:","composer.mcpStatus.emptyValue":"কোনও MCP সার্ভার কনফিগার করা নেই","composer.mcpStatus.enabled":"সক্ষম করা হয়েছে","composer.mcpStatus.errorLabel":"স্টেটাস","composer.mcpStatus.errorValue":"MCP স্টেটাস লোড করা যাচ্ছে না","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"এজেন্ট","composer.mode.agentMode.auto.dropdownLabel":"এজেন্ট","composer.mode.agentMode.auto.optionLabel":"এজেন্ট","composer.mode.agentMode.changePermission":"মডেল বদল করুন","composer.mode.agentMode.custom":"কাস্টম","composer.mode.agentMode.custom.dropdownLabel":"কাস্টম","composer.mode.agentMode.custom.option":"কাস্টম (config.toml)","composer.mode.agentMode.custom.optionLabel":"কাস্টম (config.toml)","composer.mode.agentMode.customInfo.cancel":"বাতিল করুন","composer.mode.agentMode.customInfo.cli":"আপনি CLI থেকে অথবা সরাসরি ফাইল এডিট করে এই সেটিংসগুলিতে ফেরবদল করতে পারেন।","composer.mode.agentMode.customInfo.confirm":"কাস্টম মোড ব্যবহার করুন","composer.mode.agentMode.customInfo.description":"কাস্টম মোড আপনার <link>config.tomll</link> ফাইলে নির্দিষ্ট করে দেওয়া অনুমোদন ও স্যান্ডবক্স বিষয়ক নীতিগুলিকে প্রয়োগ করে।","composer.mode.agentMode.customInfo.docs":"<link>এগজিউশন এনভায়রনমেন্ট ডকুমেন্টে</link> অনুমোদন এবং স্যান্ডবক্স নীতি কনফিগার করার বিষয়ে আরও জানুন।","composer.mode.agentMode.customInfo.refresh":"পরের বার এজেন্ট চলার সময় যেকোন পরিবর্তন কার্যকর হবে।","composer.mode.agentMode.customInfo.title":"কাস্টম মোড কীভাবে কাজ করে","composer.mode.agentMode.fullAccess":"এজেন্ট (সম্পূর্ণ ব্যবহার)","composer.mode.agentMode.fullAccess.dropdownLabel":"এজেন্ট (সম্পূর্ণ ব্যবহার)","composer.mode.agentMode.fullAccess.optionLabel":"এজেন্ট (সম্পূর্ণ ব্যবহার)","composer.mode.agentMode.fullAccessConfirm.caution":"সম্পূর্ণ ব্যবহার সক্ষম করার সময় সাবধানতা অবলম্বন করুন। এটি ডেটা হারানো, ফাঁস বা অপ্রত্যাশিত আচরণের ঝুঁকি উল্লেখযোগ্যভাবে বৃদ্ধি করে।","composer.mode.agentMode.fullAccessConfirm.confirm":"হ্যাঁ, যাইহোক জারি রাখুন","composer.mode.agentMode.fullAccessConfirm.description":"যখন Codex সম্পূর্ণ ব্যবহারসহ সাথে চলে, তখন এটি আপনার কম্পিউটারের যেকোন ফাইল এডিট করতে পারে এবং আপনার অনুমোদন ছাড়াই নেটওয়ার্কের মাধ্যমে কমান্ড চালাতে পারে।","composer.mode.agentMode.fullAccessConfirm.goBack":"বাতিল করুন","composer.mode.agentMode.fullAccessConfirm.title":"সম্পূর্ণ ব্যবহার চালু করবেন?","composer.mode.agentMode.readOnly":"চ্যাট","composer.mode.agentMode.readOnly.dropdownLabel":"চ্যাট","composer.mode.agentMode.readOnly.optionLabel":"চ্যাট","composer.mode.agentMode.tooltip":"মডেল বদল করুন","composer.mode.agentMode.tooltip.auto":"ফাইলগুলি পড়ুন এবং এডিট করুন, এবং কমান্ড চালান।","composer.mode.agentMode.tooltip.custom":"config.toml-এ বর্ণিত সর্বশেষ অনুমোদন এবং স্যান্ডবক্স নীতি ব্যবহার করুন।","composer.mode.agentMode.tooltip.fullAccess":"Codex প্রোজেক্টের বাইরের ফাইল এডিট করতে পারে এবং নেটওয়ার্ক ব্যবহারসহ কমান্ড চালাতে পারে। ব্যবহারের সময় সতর্কতা অবলম্বন করুন।","composer.mode.agentMode.tooltip.readOnly":"ফাইল এডিট করা এবং কমান্ড চালানোর জন্য অনুমোদনের প্রয়োজন।","composer.mode.cloud.tooltip":"একটি ক্লাউড এনভায়রনমেন্টে কাজ করুন","composer.mode.contactAdmin":"আরও ব্যবহারের সুযোগ পেতে, আপনার অ্যাডমিনের সাথে যোগাযোগ করুন","composer.mode.local":"স্থানীয়","composer.mode.local.learnMore":"আরও জানুন","composer.mode.local.model.custom":"কাস্টম","composer.mode.local.model.loadingModel":"মডেল লোড করা হচ্ছে","composer.mode.local.model.selecrReasoningEffort":"যুক্তিপ্রয়োগ নির্বাচন করুন","composer.mode.local.model.selectModel":"মডেল নির্বাচন করুন","composer.mode.local.model.tooltip":"মডেল বেছে নিন","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"বেশি","composer.mode.local.reasoning.low.label":"কম","composer.mode.local.reasoning.medium.label":"মাঝারি","composer.mode.local.reasoning.minimal.label":"ন্যূনতম","composer.mode.local.reasoning.none.label":"কোনটিই নয়","composer.mode.local.reasoning.xhigh.label":"অতিরিক্ত বেশি","composer.mode.localRemoteWhereRun":"কোথায় কাজ চালাবেন তা নির্বাচন করুন","composer.mode.newTask.header":"নিম্নোক্তে জারি রাখুন","composer.mode.rateLimit.day":"{days}প্রতি দিন","composer.mode.rateLimit.heading":"বাকি থাকা রেটের সীমা","composer.mode.rateLimit.hour":"{hours}প্রতি ঘণ্টা","composer.mode.rateLimit.minute":"{minutes}প্রতি মিনিট","composer.mode.rateLimit.modelSectionLabel":"{modelName} সীমা:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {সাপ্তাহিক সীমা} other {{weeks} সাপ্তাহিক সীমা}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {সাপ্তাহিক} other {{weeks} সপ্তাহ}}","composer.mode.remote.connectToCloud":"Codex ওয়েব সংযুক্ত করুন","composer.mode.remote.connectToCloudDisabledTooltip":"ক্লাউডে টাস্ক পাঠানো সক্ষম করার জন্য Codex ওয়েবের মাধ্যমে একটি এনভায়রনমেন্ট সেট আপ করুন","composer.mode.remote.selectEnvironment":"এনভায়রনমেন্ট নির্বাচন করুন","composer.mode.remote.sendToCloud":"ক্লাউডে পাঠান","composer.mode.remote.setupViaWeb":"Codex ওয়েবের মাধ্যমে একটি এনভায়রনমেন্ট সেট-আপ করুন","composer.mode.runInCloud":"ক্লাউড","composer.mode.runInCloudWithEnvironment":"ক্লাউড· {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ক্লাউড এনভায়রনমেন্টে কাজ করুন","composer.mode.segmentedToggle.local.tooltip":"আপনার লোকাল প্রোজেক্টে কাজ করুন","composer.mode.segmentedToggle.worktree.tooltip":"একটি সমান্তরাল ওয়ার্কট্রিতে কাজ করুন","composer.mode.upgradeToPlus":"Plus-এ আপগ্রেড করুন","composer.mode.upgradeToPro":"Pro-তে আপগ্রেড করুন","composer.mode.workLocally":"লোকাল প্রোজেক্ট","composer.mode.workLocally.currentBranchFallback":"আপনার ব্রাঞ্চ","composer.mode.workLocally.tooltip":"{branchName}-এ কাজ করুন","composer.mode.worktree":"নতুন ওয়ার্কট্রি","composer.mode.worktree.submoduleWarning":"এই রিপোজিটরিতে git সাবমডিউল রয়েছে। ওয়ার্কট্রি তৈরি ব্যর্থ হতে পারে","composer.mode.worktree.tooltip":"সমান্তরালভাবে কাজ করার জন্য আপনার লোকাল প্রোজেক্টের একটি কপি তৈরি করুন","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"কথোপকথনের মাঝখানে মডেল পরিবর্তন করলে কর্মক্ষমতা হ্রাস পাবে।","composer.newChat.heading.browser":"এর পরে আমরা কী কোডিং করব?","composer.permissionsDropdown.custom.label":"কাস্টম (config.toml)","composer.permissionsDropdown.custom.optionLabel":"কাস্টম (config.toml)","composer.permissionsDropdown.default.label":"ডিফল্ট অনুমতি","composer.permissionsDropdown.default.optionLabel":"ডিফল্ট অনুমতি","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml দ্বারা পূর্ণাঙ্গ ব্যবহার অক্ষম করা হয়েছে","composer.permissionsDropdown.trigger.tooltip":"অনুমতি পরিবর্তন করুন","composer.personalitySlashCommand.description.friendly":"উষ্ণ, সহযোগী এবং সহায়ক","composer.personalitySlashCommand.description.pragmatic":"সংক্ষিপ্ত, কাজ-কেন্দ্রিক এবং সরাসরি","composer.personalitySlashCommand.label.friendly":"বন্ধুত্বপূর্ণ","composer.personalitySlashCommand.label.pragmatic":"বাস্তববাদী","composer.personalitySlashCommand.notApplicableSuffix":"(বর্তমান মডেলের ক্ষেত্রে প্রযোজ্য নয়)","composer.personalitySlashCommand.title":"ব্যক্তিত্ব","composer.placeholder.cloudFollowUp.directFollowUp":"এই ক্লাউড টাস্কের ফলো-আপ","composer.placeholder.cloudFollowUp.local":"এই ক্লাউড টাস্কটি উল্লেখ করে এমন একটি নতুন স্থানীয় টাস্ক তৈরি করুন","composer.placeholder.cloudFollowUp.workingTree":"একটি নতুন ক্লাউড টাস্ক তৈরি করুন যাতে আপনার বর্তমান কোড থাকবে এবং এই টাস্কটির উল্লেখ থাকবে।","composer.placeholder.localFollowUp.cloud":"একটি নতুন ক্লাউড টাস্কের ফলো-আপ","composer.placeholder.localFollowUp.locally":"পরবর্তী পরিবর্তনের জন্য অনুরোধ করুন","composer.placeholder.newTask.cloud":"Codex-কে ক্লাউডে যেকোনও কিছু করতে বলুন","composer.placeholder.newTask.doAnything":"Codex-কে যেকোন কিছু করতে বলুন","composer.placeholder.newTask.locally":"Codex-কে যে কোন কিছু জিজ্ঞাসা করুন, ফাইল যোগ করতে, / কমান্ডের জন্য @ ব্যবহার করুন","composer.planModeDropdown":"পরিকল্পনা মোড","composer.planModeDropdown.ariaLabel":"পরিকল্পনা মোড","composer.planModeIndicator":"প্ল্যান","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"পরিকল্পনা মোড বন্ধ করুন","composer.planSlashCommand.enableDescription":"পরিকল্পনা মোড চালু করুন","composer.planSlashCommand.title":"পরিকল্পনা মোড","composer.priorContext.label":"পূর্ববর্তী প্রসঙ্গ","composer.priorContext.removeAriaLabel":"পূর্ববর্তী প্রসঙ্গটি সরান","composer.queuedMessage.delete":"অপেক্ষায় থাকা মেসেজ মুছুন","composer.queuedMessage.edit":"মেসেজ এডিট করুন","composer.queuedMessage.more":"অপেক্ষায় থাকা মেসেজ অ্যাকশন","composer.queuedMessage.sendNow":"এখন পাঠান","composer.queuedMessage.turnOff":"অপেক্ষায় রাখা বন্ধ করুন","composer.reasoningEffort.local.reasoning.tooltip":"যুক্তিপ্রয়োগের প্রচেষ্টা নির্বাচন করুন","composer.remote.branchStartingPoint":"এই কাজটি কোন ব্রাঞ্চ থেকে শুরু করা উচিত?","composer.remote.branchesSectionHeading":"শাখা","composer.remote.currentEditsSuffix.followUp":"এই ক্লাউড টাস্কটির উল্লেখ করে এমন একটি নতুন কাজ তৈরি করুন।","composer.remote.currentEditsSuffix.useLocal":"স্থানীয় কোড পরিবর্তনের সাথে","composer.remote.directFollowUp":"স্থানীয় পরিবর্তন ব্যবহার করবেন না","composer.remote.errorLoadingBranches":"ব্রাঞ্চ লোড করার সময় ত্রুটি হয়েছে","composer.remote.fromBranch":"{branch} থেকে","composer.remote.fromCurrentBranch":"{branch} থেকে (বর্তমান)","composer.remote.loadingMoreBranches":"লোড হচ্ছে...","composer.remote.localFileStateHeading":"স্থানীয় ফাইলের অবস্থা","composer.remote.localWorkingTree":"স্থানীয় পরিবর্তনগুলি ব্যবহার করুন","composer.remote.startingPoint":"এই টাস্কটি কোন কোড থেকে শুরু করা উচিত?","composer.reviewMode.branches.error":"শাখা লোড করা যাচ্ছে না","composer.reviewMode.branches.retry":"আবার চেষ্টা করুন","composer.reviewMode.gitRoot.error":"Git রুট পাওয়া যায়নি","composer.reviewMode.option.baseBranch.simple":"মূল শাখার সঙ্গে তুলনা করে পর্যালোচনা করুন","composer.reviewMode.option.unstaged.simple":"অঙ্গীকার না করা পরিবর্তনগুলি পর্যালোচনা করুন","composer.reviewMode.quickReviewError":"কোড পর্যালোচনা শুরু করা যায়নি।","composer.reviewMode.title":"কোড পর্যালোচনা","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml দ্বারা পূর্ণাঙ্গ ব্যবহার অক্ষম করা হয়েছে","composer.sandboxButton.windowsSandboxDialog.content":"ফাইল সিস্টেম এবং নেটওয়ার্ক ব্যবহার সীমিত করতে Windows-এ Codex একটি পরীক্ষামূলক স্যান্ডবক্স ব্যবহার করতে পারে। {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows স্যান্ডবক্স সক্ষম করবেন?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"শুধুমাত্র পড়ার জন্য","composer.searchEnvironments":"এনভায়রনমেন্ট খুঁজুন","composer.skillMentionList.app":"অ্যাপ","composer.skillMentionList.loading":"দক্ষতা লোড হচ্ছে...","composer.skillMentionList.noResults":"কোনও দক্ষতা পাওয়া যায়নি","composer.slashCommands.cloudEnvironment.title":"ক্লাউড এনভায়রনমেন্ট","composer.slashCommands.dialogLabel":"স্ল্যাশ কমান্ড মেনু","composer.slashCommands.dialogTitle":"স্ল্যাশ কমান্ড","composer.slashCommands.disabledTooltip":"স্ল্যাশ কমান্ড ব্যবহার করার জন্য একটি নতুন কথোপকথন শুরু করুন","composer.slashCommands.inputPlaceholder":"খুঁজুন","composer.slashCommands.noResults":"কোনও কমান্ড নেই","composer.slashCommands.skillsGroup":"দক্ষতা","composer.slashCommands.tooltip":"স্ল্যাশ কমান্ড ব্রাউজ করুন","composer.status.close":"বন্ধ করুন","composer.statusPlain.alertLabel":"সতর্কীকরণ:","composer.statusPlain.alertValue":"{window}-এর {remaining}% বাকি আছে","composer.statusPlain.contextLabel":"প্রসঙ্গ:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ব্যবহার করা হয়েছে / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% বাকি আছে","composer.statusPlain.heading":"স্টেটাস","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} সীমা:","composer.statusPlain.rateLimitDays":"{count} দিন সীমা","composer.statusPlain.rateLimitFallbackLabel":"হারের সীমা:","composer.statusPlain.rateLimitHours":"{count} ঘণ্টা সীমা","composer.statusPlain.rateLimitLabelBase":"হারের সীমা","composer.statusPlain.rateLimitMinutes":"{count} মিনিট সীমা","composer.statusPlain.rateLimitPercent":"{remaining}% বাকি আছে","composer.statusPlain.rateLimitReset":"{time}-এ রিসেট করে","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"রিসেট করার সময় উপলভ্য নয়","composer.statusPlain.rateLimitUnavailable":"উপলভ্য নয়","composer.statusPlain.sessionCopiedAriaLabel":"সেশন ID কপি করা হয়েছে","composer.statusPlain.sessionCopiedTooltip":"ID কপি করা হয়েছে","composer.statusPlain.sessionCopyAriaLabel":"সেশন কপি করা হয়েছে","composer.statusPlain.sessionCopyTooltip":"ID কপি করুন","composer.statusPlain.sessionLabel":"সেশন:","composer.statusSlashCommand.description":"থ্রেড ID, প্রসঙ্গ ব্যবহার এবং হারের সীমা দেখান","composer.statusSlashCommand.title":"স্টেটাস","composer.submit.blockedDialogOk":"ঠিক আছে","composer.submit.blockedDialogTitle":"মেসেজ পাঠানো যাচ্ছে না","composer.submit.emptyMessage":"শুরু করতে একটি মেসেজ লিখুন","composer.submit.imageInputsUnsupported":"এই মেসেজটি পাঠানোর জন্য ছবিগুলি সরিয়ে ফেলুন অথবা মডেল পরিবর্তন করুন।","composer.submit.loadingLocalConfig":"লোড হচ্ছে...","composer.submit.missingCloudConfig":"আপনাকে অবশ্যই একটি ক্লাউড এনভায়রনমেন্ট বেছে নিতে হবে","composer.submit.missingCloudTurn":"এই কাজটি নিয়ে আর অগ্রসর হওয়া যাবে না","composer.submit.noWorkspace":"Codex ব্যবহার করার জন্য একটি প্রোজেক্ট যোগ করুন","composer.submit.waitForImageUploads":"ছবি আপলোড করা হচ্ছে...","composer.submitButtonTooltip.send":"পাঠান","composer.submitButtonTooltip.stop":"থামুন","composer.worktreeEnvironment.create":"লোকাল এনভায়রনমেন্ট তৈরি করুন","composer.worktreeEnvironment.default":"ডিফল্ট এনভায়রনমেন্ট","composer.worktreeEnvironment.error":"এনভায়রনমেন্ট লোড করার সময় ত্রুটি হয়েছে","composer.worktreeEnvironment.loading":"এনভায়রনমেন্ট লোড করা হচ্ছে…","composer.worktreeEnvironment.title":"লোকাল এনভায়রনমেন্ট","composer.worktreeEnvironment.tooltip":"একটি লোকাল এনভায়রনমেন্ট নির্বাচন করুন","composer.worktreeSetupFailed":"ওয়ার্কট্রি সেটআপ ব্যর্থ হয়েছে। সেটআপ স্ক্রিপ্টের জন্য .codex/environments দেখুন।","compoundButton.secondaryAction":"গৌণ পদক্ষেপ","copyButton.copied":"কপি করা হয়েছে","copyButton.copiedAriaLabel":"কপি করা হয়েছে","copyButton.copy":"কপি করুন","copyButton.copyAriaLabel":"কপি করুন","copyButton.copyCode":"কোড কপি করুন","diff.actionButton.revertFile":"ফাইলটি ফিরিয়ে আনুন","diff.actionButton.revertHunk":"পূর্বাবস্থায় ফেরান","diff.actionButton.revertSection":"সবকটি ফিরিয়ে আনুন","diff.actionButton.revertSectionLabel":"সবকটি ফিরিয়ে আনুন","diff.actionButton.stageFile":"ফাইল স্টেজ করুন","diff.actionButton.stageHunk":"স্টেজ করুন","diff.actionButton.stageSection":"সব স্টেজ করুন","diff.actionButton.stageSectionLabel":"সব স্টেজ করুন","diff.actionButton.unstageFile":"ফাইল আনস্টেজ করুন","diff.actionButton.unstageHunk":"আনস্টেজ করুন","diff.actionButton.unstageSection":"সব আনস্টেজ করুন","diff.actionButton.unstageSectionLabel":"সব আনস্টেজ করুন","diff.fileHeader.toggle":"ফাইলের পার্থক্য টগল করুন","electron.onboarding.login.apikey.cancel":"বাতিল করুন","electron.onboarding.login.apikey.continue":"জারি রাখুন","electron.onboarding.login.apikey.label":"OpenAI API কি","electron.onboarding.login.apikey.open":"API কি লিখুন","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"সাইন-ইন বাতিল করুন","electron.onboarding.login.chatgpt.continue":"ChatGPT দিয়ে জারি রাখুন","electron.onboarding.login.devbox":"একটি দূরবর্তী SSH-এর সাথে সংযোগ করুন","electron.onboarding.login.error":"সাইন-ইন করা যায়নি: {rawMessage}","electron.onboarding.login.snake.start":"Snake চালান","electron.onboarding.login.sshConfig.cancel":"বাতিল করুন","electron.onboarding.login.sshConfig.continue":"জারি রাখুন","electron.onboarding.login.sshConfig.hostnameLabel":"SSH হোস্টনেম","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"এজেন্টের সাথে নির্মাণের সেরা উপায়","electron.onboarding.login.title":"Codex-এ স্বাগতম।","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"জারি রাখুন","electron.onboarding.welcome.doubleLimits.description":"Codex অ্যাপ লঞ্চ উদযাপনের জন্য, আপনার কাছে 2 এপ্রিল পর্যন্ত 2× হার সীমা রয়েছে।","electron.onboarding.welcome.freego.description":"Codex আপনার প্ল্যানে 2রা মার্চ পর্যন্ত বিনামূল্যে অন্তর্ভুক্ত করা হয়েছে – আসুন একসাথে তৈরি শুরু করি।","electron.onboarding.welcome.new.title.anon":"স্বাগতম!","electron.onboarding.workspace.continue":"জারি রাখুন","electron.onboarding.workspace.empty":"চালিয়ে যেতে একটি প্রোজেক্ট যোগ করুন।","electron.onboarding.workspace.listLabel":"উপলভ্য প্রোজেক্ট","electron.onboarding.workspace.loading":"প্রোজেক্ট লোড হচ্ছে…","electron.onboarding.workspace.openFolder":"প্রোজেক্ট যোগ করুন","electron.onboarding.workspace.selectAll":"সব নির্বাচন করুন","electron.onboarding.workspace.skip":"ছেড়ে যান","electron.onboarding.workspace.skip.error":"নতুন প্রোজেক্ট তৈরি করা যায়নি: {message}","electron.onboarding.workspace.skip.error.unknown":"অজানা ত্রুটি","electron.onboarding.workspace.skipping":"একটি নতুন প্রোজেক্ট তৈরি করা হচ্ছে...","electron.onboarding.workspace.subtitle":"Codex নির্বাচিত ফোল্ডারগুলিতে ফাইল এডিট করতে এবং কমান্ড চালাতে সক্ষম হবে।","electron.onboarding.workspace.title":"একটি প্রোজেক্ট নির্বাচন করুন","errorPage.list.checkSettings":"আপনার IDE সেটিংস আপডেট করার চেষ্টা করুন","errorPage.list.configToml":"আপনার config.toml-এ অবৈধ সেটিংস আছে কিনা তা দেখুন","errorPage.list.downloadExtension":"এক্সটেনশনের একটি ভিন্ন সংস্করণ ডাউনলোড করার চেষ্টা করুন","errorPage.list.runInWsl":"যদি আপনার সামঞ্জসের সমস্যা দেখা দেয়, তাহলে WSL-এ চালানো বন্ধ করতে আপনার সেটিংস পরীক্ষা করুন","execApprovalRequest.menu.runAlways":"হ্যাঁ, এবং এই সেশনে আর জিজ্ঞাসা করবেন না।","execApprovalRequest.menu.runAlwaysWithAmendment":"হ্যাঁ, এবং আবার এমন কমান্ড চাইবেন না যা শুরু হয় {command} দিয়ে","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"হ্যাঁ, এবং আবার এমন কমান্ড চাইবেন না যা শুরু হয়","execApprovalRequest.menu.runOnce":"হ্যাঁ","execApprovalRequest.prompt":"আপনি কি এই কমান্ডটি চালাতে চান?","execApprovalRequest.reject":"না","execFooter.exitCode":"প্রস্থান কোড {code}","execFooter.exitCode.unknown":"অজানা","execFooter.success":"সফল হয়েছে","feedback.dialog.category.badResult":"খারাপ ফলাফল","feedback.dialog.category.bug":"ত্রুটি","feedback.dialog.category.goodResult":"ভালো ফলাফল","feedback.dialog.category.other":"অন্যান্য","feedback.dialog.descriptionPlaceholder":"সমস্যাটি এখানে বর্ণনা করুন","feedback.dialog.dismiss":"খারিজ করুন","feedback.dialog.includeLogsLabel":"বর্তমান Codex সেশন লগ অন্তর্ভুক্ত করুন","feedback.dialog.submit":"জমা দিন","feedback.dialog.submitError":"আমরা আপনার মতামত জমা দিতে পারিনি। কিছুক্ষণের মধ্যে আবার চেষ্টা করুন।","feedback.dialog.title":"মতামত","feedback.dialog.uploadedMessage.existingIssue":"সমস্যাটি আগে থেকেই খোলা আছে","feedback.dialog.uploadedMessage.openIssue":"GitHub সমস্যা খুলুন","feedback.dialog.uploadedMessage.withThread":"মতামত আপলোড করা হয়েছে। যদি সমস্যাটি থেকে যায়, তাহলে {openIssueLink} অথবা {existingIssueLink}-এ থ্রেড ID উল্লেখ করুন:","feedback.dialog.uploadedTitle":"মতামত আপলোড করা হয়েছে","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} সরান","header.back":"পিছনে","header.recentChats":"কাজ","header.recentTasks.seeAll":"সব দেখুন ({total})","home.header.getPlus":"Plus পান","home.hero.letsBuild":"আসুন তৈরি করি","homePage.mainContent":"মূল কন্টেন্ট","imageAttachment.defaultName":"ছবি","imageAttachment.preview.close":"ছবির প্রিভিউ বন্ধ করুন","imageAttachment.removeAriaLabel":"{filename} সরান","implementPlanRequest.option.implement":"হ্যাঁ, এই পরিকল্পনাটি বাস্তবায়িত করুন","implementPlanRequest.prompt":"এই পরিকল্পনা বাস্তবায়ন করবেন?","inbox.archived.deleteError":"আর্কাইভ করা রান মুছে ফেলা যায়নি","inbox.archived.deleteRun":"আর্কাইভ করা রান মুছুন","inbox.archived.deleteSuccess":"আর্কাইভ করা থ্রেডটি মুছে ফেলা হয়েছে। <settingsLink>আর্কাইভ করা থ্রেড</settingsLink>-এ দেখুন।","inbox.archived.inlineLabel.auto":"এই থ্রেডটি স্বয়ংক্রিয়ভাবে আর্কাইভ করা হয়েছে। <learnMoreLink>আরও জানুন</learnMoreLink>","inbox.archived.inlineLabel.manual":"এই থ্রেডটি আর্কাইভ করা হয়েছে।","inbox.archived.noMessageFound":"কোন মেসেজ পাওয়া যায়নি","inbox.automations.createError":"অটোমেশন তৈরি করা যায়নি","inbox.automations.deleteConfirm.cancel":"বাতিল করুন","inbox.automations.deleteConfirm.confirm":"অটোমেশন মুছে ফেলবেন?","inbox.automations.deleteConfirm.description":"এটি অটোমেশন স্থায়ীভাবে মুছে ফেলবে এবং ভবিষ্যতে যে কোনও রান বন্ধ করে দেবে।","inbox.automations.deleteConfirm.title":"{name} মুছবেন?","inbox.automations.deleteError":"অটোমেশন মুছে ফেলা যায়নি","inbox.automations.editTooltip":"অটোমেশন এডিট করুন","inbox.automations.inProgress":"কাজ চলছে","inbox.automations.new":"নতুন","inbox.automations.newToolbar":"নতুন অটোমেশন","inbox.automations.pauseTooltip":"অটোমেশন সাময়িকভাবে বন্ধ করুন","inbox.automations.resumeTooltip":"অটোমেশন পুনরায় শুরু করুন","inbox.automations.startingNow":"এখন শুরু হচ্ছে","inbox.automations.startsIn":"{startTime}-এর মধ্যে শুরু হবে","inbox.automations.status.active":"সক্রিয়","inbox.automations.status.paused":"থামানো হয়েছে","inbox.automations.status.runs":"{count}টি রান","inbox.automations.status.started":"{date} শুরু হয়েছে","inbox.automations.updateError":"অটোমেশন আপডেট করা যায়নি","inbox.automations.workspaceFallback":"-","inbox.filter.all":"সব","inbox.filter.ariaLabel":"ইনবক্স আইটেম ফিল্টার করুন","inbox.filter.unread":"না-পড়া","inbox.list.archived":"আর্কাইভ করা হয়েছে","inbox.list.inProgress":"কাজ চলছে","inbox.list.recent":"সম্পূর্ণ হয়েছে","inbox.list.upNext":"সময়সূচি নির্ধারণ করা হয়েছে","inbox.mode.automations":"অটোমেশন","inbox.mode.automations.beta":"বিটা","inbox.noDescription":"কোনও বিবরণ দেওয়া হয়নি","inbox.openThread":"থ্রেড খুলুন","inbox.rightPanel.emptySubtitle":"নির্ধারিত কাজ সেট আপ করে কাজ স্বয়ংক্রিয় করুন","inbox.rightPanel.emptySubtitle.learnMore":"নির্ধারিত থ্রেড সেট আপ করে কাজ স্বয়ংক্রিয় করুন। <link>আরও জানুন</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {#টি সক্রিয় অটোমেশন} other {#টি সক্রিয় অটোমেশন}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"কোনও না-পড়া অটোমেশন নেই","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {#টি না-পড়া অটোমেশন} other {#টি না-পড়া অটোমেশন}}","inbox.rightPanel.emptyTitle":"কোনও আইটেম নির্বাচন করা হয়নি","inbox.rightPanel.noThread":"এই আইটেমের জন্য কোনও থ্রেড নেই","inbox.rightPanel.quickStart.header":"একটি টেমপ্লেট দিয়ে শুরু করুন","inbox.untitled":"শিরোনামবিহীন ইনবক্স আইটেম","loadingPage.documentationLink":"ডকুমেন্টেশন","loadingPage.errorDescription":"Codex নিম্নলিখিত ত্রুটির সাথে ক্র্যাশ করেছে:","loadingPage.errorDescription.documentation":"Codex এক্সটেনশনটি আবার চালু করতে ‘আবার লোড করুন’-এ ক্লিক করুন, অথবা অতিরিক্ত সহায়তার জন্য আমাদের {documentationLink} দেখুন।","loadingPage.errorSignal":"যা ব্যবহার করে দেখা যেতে পারে:","loadingPage.errorTitle":"একটি ত্রুটি ঘটেছে","loadingPage.openConfigToml":"config.toml খুলুন","loadingPage.reload":"আবার লোড করুন","localConversation.contextCompacted":"প্রসঙ্গ স্বয়ংক্রিয়ভাবে সংকুচিত হয়েছে","localConversation.contextCompacting":"প্রসঙ্গ স্বয়ংক্রিয়ভাবে সংকুচিত করা হচ্ছে","localConversation.forkedFromConversation":"{threadTitle} থেকে ফর্ক করা হয়েছে","localConversation.merge.autoResolve.failed":"স্বয়ংক্রিয় সমাধানের অনুরোধ করা যায়নি: {error}","localConversation.merge.autoResolve.sent":"স্বয়ংক্রিয় সমাধানের অনুরোধ পাঠানো হয়েছে","localConversation.merge.autoResolveMerge.missingConversation":"কোন সক্রিয় কথোপকথন ছাড়া স্বয়ংক্রিয়ভাবে সমাধান করা যাচ্ছে না।","localConversation.merge.autoResolveMerge.request":"মার্জ করার দ্বন্দ্বগুলি স্বয়ংক্রিয়ভাবে সমাধান করুন","localConversation.modelChanged":"মডেলটি {fromModel} থেকে {toModel}-এ পরিবর্তিত হয়েছে।","localConversation.modelChanged.warning.line1":"কথোপকথনের মাঝখানে মডেল পরিবর্তন করলে কর্মক্ষমতা হ্রাস পাবে।","localConversation.modelChanged.warning.line2":"প্রসঙ্গ স্বয়ংক্রিয়ভাবে সংকুচিত হতে পারে।","localConversation.moveThread.createBranch.label":"ব্রাঞ্চ তৈরি করুন","localConversation.moveToLocal.disabled.loading":"লোড হচ্ছে...","localConversation.moveToLocal.modal.continue":"জারি রাখুন","localConversation.moveToLocal.modal.destinationLabel":"এখানে সরান","localConversation.moveToLocal.modal.retry":"আবার চেষ্টা করুন","localConversation.moveToWorktree.modal.back":"পিছনে","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ব্রাঞ্চটি ইতিমধ্যেই আছে।","localConversation.moveToWorktree.modal.branchesError":"শাখা লোড করা যাচ্ছে না","localConversation.moveToWorktree.modal.branchesLoading":"ব্রাঞ্চ লোড করা হচ্ছে...","localConversation.moveToWorktree.modal.branchesRetry":"আবার চেষ্টা করুন","localConversation.moveToWorktree.modal.continue":"জারি রাখুন","localConversation.moveToWorktree.modal.retry":"আবার চেষ্টা করুন","localConversation.moveToWorktree.modal.trailingSlashError":"ব্রাঞ্চের নাম “/” দিয়ে শেষ করা যাবে না।","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"নতুন-ব্রাঞ্চ","localConversation.personalityChanged":"{personality} ব্যক্তিত্বে বদল করা হয়েছে","localConversation.planSummary.collapse":"প্ল্যানের সারাংশ সঙ্কুচিত করুন","localConversation.planSummary.collapseTooltip":"সঙ্কুচিত করুন","localConversation.planSummary.download":"প্ল্যান ডাউনলোড করুন","localConversation.planSummary.expand":"প্ল্যানের সারাংশ প্রসারিত করুন","localConversation.planSummary.expandTooltip":"প্রসারিত করুন","localConversation.planSummary.openInNewWindow":"খুলুন","localConversation.planSummary.openInNewWindow.tooltip":"নতুন উইন্ডোতে খুলুন","localConversation.planSummary.title":"প্ল্যান","localConversation.planSummary.titleWriting":"পরিকল্পনা লেখা হচ্ছে","localConversation.planSummary.viewPlan":"প্ল্যানটি প্রসারিত করুন","localConversation.remoteTaskCreated":"Codex ক্লাউডে {taskLink} তৈরি করা হয়েছে","localConversation.remoteTaskCreated.task":"কাজ","localConversation.scrollToBottomButton":"নিচে স্ক্রোল করুন","localConversation.sync.buttonLabel":"স্থানীয়দের কাছে হস্তান্তর করুন","localConversation.sync.buttonLabel.tooltip":"এই ওয়ার্কট্রি এবং আপনার লোকাল চেকআউটের মধ্যে পরিবর্তনগুলি হস্তান্তর করুন।","localConversation.sync.modal.loading.title":"পরিবর্তনগুলি হস্তান্তর করা হচ্ছে...","localConversation.sync.modal.noChanges":"কোনও পরিবর্তন নেই","localConversation.syncSetup.branchAriaLabel":"ব্রাঞ্চের নাম","localConversation.syncSetup.branchName":"ব্রাঞ্চের নাম","localConversation.syncSetup.branchPlaceholder.existing":"বিদ্যমান শাখা নির্বাচন করুন","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ব্রাঞ্চ লোড করা হচ্ছে...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ইতিমধ্যেই চেক-আউট করা হয়েছে","localConversation.syncSetup.checkoutClean":"বর্তমানে {branchName}-এ চালু আছে","localConversation.syncSetup.checkoutDirty":"বর্তমানে কমিট না করা পরিবর্তনগুলিসহ {branchName}-এ চালু আছে","localConversation.syncSetup.checkoutError":"ব্রাঞ্চ চেক আউট করা যায়নি: {message}","localConversation.syncSetup.checkoutLabel":"এখনই স্থানীয়ভাবে দেখুন","localConversation.syncSetup.checkoutOnLocal":"স্থানীয়দের কাছে হস্তান্তর করুন","localConversation.syncSetup.checkoutPending":"লোকাল স্টেটাস পরীক্ষা করা হচ্ছে…","localConversation.syncSetup.checkoutUnavailable":"স্থানীয় ওয়ার্কস্পেস উপলভ্য নয়","localConversation.syncSetup.checkoutUnknown":"স্থানীয় ব্রাঞ্চ উপলভ্য নয়","localConversation.syncSetup.continue":"জারি রাখুন","localConversation.syncSetup.createBranchError":"স্থানান্তর ব্রাঞ্চ সেট করতে ব্যর্থ: {message}","localConversation.syncSetup.error":"কিছু ভুল হয়েছে: {message}","localConversation.syncSetup.error.workingTreeMissing":"ওয়ার্কট্রির স্ন্যাপশট নেওয়া যাচ্ছে না। আবার স্থানান্তর করার চেষ্টা করুন।","localConversation.syncSetup.mode.ariaLabel":"ব্রাঞ্চ মোড নির্বাচন করুন","localConversation.syncSetup.mode.existing":"বিদ্যমান ব্রাঞ্চ","localConversation.syncSetup.mode.new":"নতুন ব্রাঞ্চ","localConversation.syncSetup.noBranches":"কোনও ব্রাঞ্চ পাওয়া যায়নি","localConversation.syncSetup.overwriteError":"ব্রাঞ্চ তৈরি করা হয়েছে কিন্তু সম্পূর্ণরূপে স্থানান্তর করা হয়নি। স্থানীয়ভাবে চেক আউট করার আগে ম্যানুয়ালি স্থানান্তর করুন।","localConversation.syncSetup.setPrefix":"প্রিফিক্স সেট করুন","localConversation.syncSetup.subtitle":"লোকাল রিপোজিটরিতে ওয়ার্কট্রি পরিবর্তনগুলি পরীক্ষা করুন এবং এডিট করুন। <a>আরও জানুন</a>","localConversation.syncSetup.success.checkedOut":"ব্রাঞ্চ তৈরি করা হয়েছে এবং স্থানীয়ভাবে চেক-আউট করা হয়েছে","localConversation.syncSetup.success.notCheckedOut":"ব্রাঞ্চ তৈরি করা হয়েছে","localConversation.syncSetup.title":"একটি লোকাল ব্রাঞ্চে স্থানান্তর করুন","localConversation.syncWorktreeError.branchAriaLabel":"ব্রাঞ্চের নাম","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"স্থানান্তর করার জন্য একটি ব্রাঞ্চ বেছে নিন, তারপর পরিবর্তনগুলি আবার লোড করার চেষ্টা করুন।","localConversation.syncWorktreeError.branchSetup.title":"ব্রাঞ্চ আপডেট করুন","localConversation.syncWorktreeError.branchUpdate.cta":"আপডেট করে আবার চেষ্টা করুন","localConversation.syncWorktreeError.branchUpdate.error":"ব্রাঞ্চ আপডেট করতে ব্যর্থ: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"কিছু ভুল হয়েছে: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"কোনও ওয়ার্কট্রিতে ব্রাঞ্চ চেক আউট করা হয় না।","localConversation.syncWorktreeV2.applyUncommitted":"প্রয়োগ করুন","localConversation.syncWorktreeV2.applyUncommitted.disabled":"কমিট না করা পরিবর্তনগুলি প্রয়োগ করতে আপনাকে অবশ্যই স্থানীয়ভাবে ব্রাঞ্চটি পরীক্ষা করতে হবে","localConversation.syncWorktreeV2.branches.empty":"কোনও ব্রাঞ্চ পাওয়া যায়নি","localConversation.syncWorktreeV2.branches.loading":"ব্রাঞ্চ লোড করা হচ্ছে...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"স্থানান্তর ব্রাঞ্চ পরিবর্তন করুন","localConversation.syncWorktreeV2.changeBranch.error":"স্থানান্তর ব্রাঞ্চ পরিবর্তন করতে ব্যর্থ: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"আবেদন করা যায়নি","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"ওয়ার্কট্রি ওভাররাইট করা যায়নি","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"লোকাল ওভাররাইট করা যায়নি","localConversation.syncWorktreeV2.commandError.back":"পিছনে","localConversation.syncWorktreeV2.commandError.body":"স্থানান্তর করার সময় একটি git কমান্ড ব্যর্থ হয়েছে। আউটপুট পর্যালোচনা করুন এবং পুনরায় চেষ্টা করুন।","localConversation.syncWorktreeV2.commandError.retry":"আবার চেষ্টা করুন","localConversation.syncWorktreeV2.description":"স্থানীয় এবং এই ওয়ার্কট্রির মধ্যে পরিবর্তনগুলি স্থানান্তর করুন <a>আরও জানুন</a>।","localConversation.syncWorktreeV2.direction.ariaLabel":"স্থানান্তরের দিক নির্বাচন করুন","localConversation.syncWorktreeV2.error.generic":"স্থানান্তরের সময় কিছু সমস্যা হয়েছে। আবার চেষ্টা করুন।","localConversation.syncWorktreeV2.localBranchLabel":"স্থানীয়","localConversation.syncWorktreeV2.noChanges":"পরিবর্তন গণনা করা হচ্ছে","localConversation.syncWorktreeV2.noChanges.summary":"কোনও পরিবর্তন নেই","localConversation.syncWorktreeV2.overwrite.local":"স্থানীয় ওভাররাইট করুন","localConversation.syncWorktreeV2.overwrite.worktree":"ওয়ার্কট্রি ওভাররাইট করুন","localConversation.syncWorktreeV2.partial.action.applyFailed":"পরিবর্তনগুলি প্রয়োগ করা যায়নি","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"স্থানীয় পরিবর্তনগুলি ওভাররাইট করা যায়নি","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ওয়ার্কট্রি পরিবর্তনগুলি ওভাররাইট করা যায়নি","localConversation.syncWorktreeV2.partial.appliedLabel":"প্রয়োগ করা হয়েছে","localConversation.syncWorktreeV2.partial.back":"পিছনে","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"দ্বন্দ্ব সমাধান করুন এবং আবার চেষ্টা করুন।","localConversation.syncWorktreeV2.partial.conflictsLabel":"দ্বন্দ্ব","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {#টি ফাইল} other {#টি ফাইল}}","localConversation.syncWorktreeV2.partial.retry":"আবার চেষ্টা করুন","localConversation.syncWorktreeV2.partial.skippedLabel":"ছেড়ে যাওয়া হয়েছে","localConversation.syncWorktreeV2.stateFailed.generic":"ওয়ার্কট্রি পরিবর্তনগুলি স্থানান্তরের জন্য আনার সময় কিছু সমস্যা হয়েছে। আবার চেষ্টা করুন।","localConversation.syncWorktreeV2.stateFailed.title":"ওয়ার্কট্রি পরিবর্তনগুলি লোড করা যায়নি","localConversation.syncWorktreeV2.statusError.diffUnknown":"ওয়ার্কট্রি পরিবর্তনগুলি লোড করা যায়নি।","localConversation.syncWorktreeV2.statusError.retry":"আবার চেষ্টা করুন","localConversation.syncWorktreeV2.statusError.title":"স্থানীয় ব্রাঞ্চের পরিবর্তনগুলি লোড করা যাচ্ছে না","localConversation.syncWorktreeV2.statusError.unknown":"ব্রাঞ্চ স্টেটাস এই মুহূর্তে উপলভ্য নয়। আবার চেষ্টা করুন।","localConversation.syncWorktreeV2.success.apply":"পরিবর্তনগুলি সফলভাবে প্রয়োগ করা হয়েছে","localConversation.syncWorktreeV2.success.overwrite":"স্থানান্তর সফল হয়েছে","localConversation.syncWorktreeV2.title":"পরিবর্তনগুলি স্থানান্তর করুন","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"{count, plural, one {প্রশ্ন} other {প্রশ্ন}} জানতে চাওয়া হচ্ছে","localConversation.userInputRequest.noAnswer":"কোনও উত্তর দেওয়া হয়নি","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"জিজ্ঞাসা করা হয়েছে","localConversation.userInputRequest.summary.count":"{count, plural, one {#টি প্রশ্ন} other {#টি প্রশ্ন}}","localConversation.workedFor":"{time}-এর জন্য কাজ করেছে","localConversation.worktreeBranchSetup.action.create":"তৈরি করুন","localConversation.worktreeBranchSetup.branchAriaLabel":"ব্রাঞ্চের নাম","localConversation.worktreeBranchSetup.branchPlaceholder.new":"নতুন ব্রাঞ্চ তৈরি করুন","localConversation.worktreeBranchSetup.checkoutDisabled":"এই ব্রাঞ্চটি ইতিমধ্যেই {location}-এ চেক আউট করা হয়েছে","localConversation.worktreeBranchSetup.checkoutError":"ব্রাঞ্চ চেক আউট করা যায়নি: {message}","localConversation.worktreeBranchSetup.createBranchError":"ব্রাঞ্চ সেট করতে ব্যর্থ: {message}","localConversation.worktreeBranchSetup.error":"কিছু ভুল হয়েছে: {message}","localConversation.worktreeBranchSetup.subtitle":"পরিবর্তনগুলি কমিট করতে, পুশ করতে এবং এই ওয়ার্কট্রি থেকে একটি পুল রিকোয়েস্ট তৈরি করতে একটি ব্রাঞ্চ তৈরি করুন। <a>আরও জানুন</a>","localConversation.worktreeBranchSetup.title":"এখানে কাজ করুন","localConversationPage.addWorktreeToSidebar.tooltip":"এই ওয়ার্কট্রি থেকে নতুন থ্রেড শুরু করার জন্য একটি প্রোজেক্ট হিসেবে সেভ করুন","localConversationPage.addWorktreeToSidebarError":"প্রোজেক্ট যোগ করা যায়নি","localConversationPage.commitAndCreatePrModal.errorTitle":"পুল রিকোয়েস্ট কমিট ও তৈরি করা যায়নি","localConversationPage.commitAndCreatePrModal.successTitle":"পুল রিকোয়েস্ট কমিট ও তৈরি করা হয়েছে","localConversationPage.commitAndPushModal.errorTitle":"কমিট ও পুশ করা যায়নি","localConversationPage.commitAndPushModal.successTitle":"পরিবর্তন কমিট ও পুশ করা হয়েছে","localConversationPage.commitCreatePr.open":"পুল রিকোয়েস্ট খুলুন","localConversationPage.commitCreatePr.successTitle":"আপনার সর্বশেষ করা পরিবর্তনগুলি দিয়ে পুল রিকোয়েস্ট তৈরি করা হয়েছে","localConversationPage.createBranchButtonLabel":"এখানে ব্রাঞ্চ","localConversationPage.createPrModal.baseBranch":"মূল","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"পুল রিকোয়েস্ট তৈরি করুন","localConversationPage.createPrModal.createDescription":"আপনার সর্বশেষ করা পরিবর্তনগুলির জন্য একটি পুল রিকোয়েস্ট খুলুন।","localConversationPage.createPrModal.errorTitle":"পুল রিকোয়েস্ট করা যায়নি","localConversationPage.createPrModal.headBranch":"প্রধান","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"পুল রিকোয়েস্ট খুলুন","localConversationPage.createPrModal.successTitle":"পুল রিকোয়েস্ট তৈরি করা হয়েছে","localConversationPage.createPrModal.title":"পুল রিকোয়েস্ট তৈরি করুন","localConversationPage.createPrModal.viewDescription":"এই ব্রাঞ্চের জন্য ইতিমধ্যেই একটি পুল অনুরোধ বিদ্যমান আছে।","localConversationPage.createPrModal.viewTitle":"পুল রিকোয়েস্ট প্রস্তুত","localConversationPage.createPullRequestAuthGh":"GitHub CLI প্রমাণীকরণ করুন: `gh auth login` কমান্ডটি চালান","localConversationPage.createPullRequestBranchMissing":"ব্রাঞ্চের তথ্য উপলভ্য নেই","localConversationPage.createPullRequestButtonLabel":"পুল রিকোয়েস্ট তৈরি করুন","localConversationPage.createPullRequestButtonLabel.loading":"PR তৈরি করা হচ্ছে","localConversationPage.createPullRequestDefaultBranchMissing":"ডিফল্ট ব্রাঞ্চের তথ্য উপলভ্য নেই","localConversationPage.createPullRequestError":"পুল রিকোয়েস্ট তৈরি করা যায়নি","localConversationPage.createPullRequestExistingPullRequest":"এই ব্রাঞ্চের জন্য ইতিমধ্যেই একটি পুল অনুরোধ বিদ্যমান আছে।","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI স্ট্যাটাস লোড হচ্ছে…","localConversationPage.createPullRequestInstallGh":"পুল রিকোয়েস্ট তৈরি করার জন্য GitHub CLI (gh) ইনস্টল করু","localConversationPage.createPullRequestNoRepo":"কোনও git রিপোজিটরি পাওয়া যায়নি","localConversationPage.createPullRequestPushStatusMissing":"পুশ স্টেটাস লোড হচ্ছে...","localConversationPage.createPullRequestSetUpstream":"পুল রিকোয়েস্ট তৈরি করার আগে এই ব্রাঞ্চটি পুশ করুন","localConversationPage.createPullRequestSuccessToast":"পুল রিকোয়েস্ট তৈরি করা হয়েছে","localConversationPage.createPullRequestSwitchBranch":"পুল রিকোয়েস্ট তৈরি করার আগে একটি ফিচার ব্রাঞ্চ চেকআউট করুন","localConversationPage.error.render":"স্থানীয় কথোপকথন প্রদানের সময় ত্রুটি হয়েছে","localConversationPage.error.toast":"কথোপকথন পাওয়া যায়নি","localConversationPage.forcePushError":"জোর করে পুশ করা যায়নি","localConversationPage.generatePullRequestMessageError":"পুল রিকোয়েস্টের শিরোনাম এবং মূল অংশ তৈরি করা যায়নি","localConversationPage.generatePullRequestMessageFailed":"পুল রিকোয়েস্টের শিরোনাম এবং মূল অংশ তৈরি করা যায়নি।","localConversationPage.gitActionResult.branch":"ব্রাঞ্চ","localConversationPage.gitActionResult.cancel":"বাতিল করুন","localConversationPage.gitActionResult.close":"বন্ধ করুন","localConversationPage.gitActionResult.tryAgain":"আবার চেষ্টা করুন","localConversationPage.gitActions":"Git অ্যাকশন","localConversationPage.newChat":"নতুন চ্যাট","localConversationPage.openInTarget":"এখানে খুলুন","localConversationPage.openPrimaryTarget":"খুলুন","localConversationPage.planItemsCompleted":"{totalItems, plural, one {#টি কাজ সম্পূর্ণ হয়েছে} other {# টি কাজ সম্পূর্ণ হয়েছে}}-এর মধ্যে {completedItems}","localConversationPage.pushAuthError":"পুশ ব্যর্থ হয়েছে: প্রমাণীকরণ প্রয়োজন","localConversationPage.pushBranchMissing":"ব্রাঞ্চের তথ্য উপলভ্য নেই","localConversationPage.pushButtonLabel":"পুশ","localConversationPage.pushButtonLabel.loading":"পুশ করা হচ্ছে","localConversationPage.pushError":"পরিবর্তনগুলি পুশ করা যায়নি","localConversationPage.pushModal.branchLabel":"ব্রাঞ্চ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"বাতিল করুন","localConversationPage.pushModal.confirm":"পুশ","localConversationPage.pushModal.description":"আপনার সর্বশেষ করা কমিটগুলি রিমোট রিপোজিটরিতে পুশ করুন।","localConversationPage.pushModal.errorTitle":"পুশ করা যায়নি","localConversationPage.pushModal.forcePush":"জোর করে পুশ করুন","localConversationPage.pushModal.successTitle":"পুশ সম্পূর্ণ হয়েছে","localConversationPage.pushModal.title":"পুশ পরিবর্তন","localConversationPage.pushModal.tryAgain":"আবার চেষ্টা করুন","localConversationPage.pushNoUpstream":"এই ব্রাঞ্চটি পুশ করার আগে একটি আপস্ট্রিম সেট করুন","localConversationPage.pushNoUpstreamError":"পুশ ব্যর্থ হয়েছে: কোন আপস্ট্রিম কনফিগার করা নেই","localConversationPage.pushNothingToPush":"পুশ করার মতো কোন নতুন কমিট নেই","localConversationPage.pushRemoteChangedError":"পুশ ব্যর্থ হয়েছে: রিমোটে নতুন কমিট রয়েছে","localConversationPage.pushRemoteRejectedError":"রিমোট দ্বারা পুশ প্রত্যাখ্যান করা হয়েছে","localConversationPage.pushStatusMissing":"পুশ স্টেটাস লোড হচ্ছে...","localConversationPage.pushSuccessToast":"পুশ করা পরিবর্তনগুলি","localConversationPage.viewPullRequestButtonLabel":"পুল রিকোয়েস্ট দেখুন","localConversationPage.viewPullRequestButtonLabel.loading":"পুল রিকোয়েস্ট লোড হচ্ছে…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# file} other {# files}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {#টি তালিকা} other {#টি তালিকা}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# search} other {# searches}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"এক্সপ্লোর করা হচ্ছে","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"এক্সপ্লোর করা হয়েছে","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} এক্সপ্লোর করা হয়েছে","localConversationTurnStory.showContent":"কন্টেন্ট দেখান","localConversationTurnStory.streamContent":"কন্টেন্ট স্ট্রিম করুন","localConversationTurnStory.toggleReasoning":"যুক্তি দেখান","localTaskRow.archiveError":"কথোপকথন আর্কাইভ করা যায়নি","localTaskRow.resumeError":"কাজটি আবার শুরু করা যায়নি","mermaidDiagram.ariaLabel":"মারমেড ডায়াগ্রাম","mermaidDiagram.copySource":"মারমেড কপি করুন","mermaidDiagram.originalCode":"মারমেড সোর্স কোড","notifications.permissions.description":"নোটিফিকেশনের অনুমতি প্রয়োজন হলে অ্যালার্ট দেখান","notifications.permissions.label":"অনুমতি নোটিফিকেশন সক্ষম করুন","notifications.turnMode.always":"সবসময়","notifications.turnMode.description":"Codex কাজ শেষ হয়েছে বলে আপনাকে যে সময়ে জানাবে সেটি সেট করুন","notifications.turnMode.label":"সমাপ্তির নোটিফিকেশন চালু করুন","notifications.turnMode.off":"কখনই নয়","notifications.turnMode.unfocused":"শুধুমাত্র যখন মনোযোগ দেওয়া হয় না","patchApprovalRequest.approve":"অনুমোদন করুন","patchApprovalRequest.menu.allowAlways":"হ্যাঁ, এবং এই সেশনে আর জিজ্ঞাসা করবেন না।","patchApprovalRequest.menu.allowForSession":"হ্যাঁ, এবং এই সেশনে আর জিজ্ঞাসা করবেন না।","patchApprovalRequest.menu.allowOnce":"হ্যাঁ","patchApprovalRequest.prompt":"আপনি কি এই পরিবর্তনগুলি করতে চান?","patchApprovalRequest.reject":"না","patchApprovalRequest.waitingForApproval":"ফাইলগুলি এডিট করার জন্য অনুমোদনের অপেক্ষা করা হচ্ছে","pendingRequest.approvalExec.collapse":"সঙ্কুচিত করুন","pendingRequest.approvalExec.expand":"প্রসারিত করুন","pendingRequestStory.toastAnswer":"উত্তর: {answer}","pendingRequestStory.toastApprovalTitle":"অনুমোদনের উত্তর","pendingRequestStory.toastFollowupPrompt":"প্রম্পট: {prompt}","pendingRequestStory.toastFollowupTitle":"ফলো-আপ পাঠানো হয়েছে","pendingRequestStory.toastNoAnswers":"কোনও উত্তর দেওয়া হয়নি","pendingRequestStory.toastQuestion":"প্রশ্ন: {question}","pendingRequestStory.toastUnknownDecision":"অজানা","pendingRequestStory.toastUserInputTitle":"জমা দেওয়া উত্তর","quickAction.request.codeReview.branches.new":"{to}-এর তুলনায় {from}-এ করা পরিবর্তনগুলি পর্যালোচনা করুন","quickAction.request.codeReview.uncommitted.new":"আমার অঙ্গীকার না করা পরিবর্তনগুলি পর্যালোচনা করুন","reasoningItem.thinking":"চিন্তাভাবনা করছে","reasoningItem.thought":"চিন্তা","reasoningItem.thoughtWithElapsed":"{elapsed}-এর জন্য চিন্তাভাবনা","recentConversations.title":"সাম্প্রতিক কথোপকথন","recentTasks.worktreeInitFailedTitle":"Worktree শুরু করা যায়নি","recentTasks.worktreeSettingUpTitle":"Worktree সেট-আপ করা হচ্ছে","requestInputPanel.continue":"জারি রাখুন","requestInputPanel.dismiss":"খারিজ করুন","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"এখানে টাইপ করুন","requestInputPanel.optionIndex":"{index}।","requestInputPanel.otherPlaceholder":"না, এবং Codex-কে বলুন ভিন্নভাবে কী করতে হবে","requestInputPanel.selectedBadge":"নির্বাচন করা হয়েছে","requestInputPanel.skip":"এড়িয়ে যান","requestInputPanel.submit":"জমা দিন","review.commit.ariaLabel.includeUnstaged":"স্টেজ না করা পরিবর্তনগুলি অন্তর্ভুক্ত করুন","review.commit.buttonLabel":"কমিট করুন","review.commit.disabled.committing":"কমিট করা হচ্ছে...","review.commit.disabled.loadingDiff":"পার্থক্য লোড হচ্ছে…","review.commit.disabled.missingContext":"একটি কমিট মেসেজ তৈরি করতে কিছু প্রসঙ্গ যোগ করুন","review.commit.disabled.noChanges":"কোনও পরিবর্তন কমিট করার নেই","review.commit.disabled.noSelection":"কমিট করার জন্য পরিবর্তনগুলি নির্বাচন করুন","review.commit.disabled.unavailable":"কমিট এই মুহূর্তে উপলভ্য নেই","review.commit.error":"পরিবর্তনগুলি কমিট করা যায়নি","review.commit.form.changesToBeCommitted":"পরিবর্তন","review.commit.form.commitTo":"ব্রাঞ্চ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"জারি রাখুন","review.commit.form.title":"আপনার করা সব পরিবর্তন কমিট করুন","review.commit.generate.emptyResponse":"একটি কমিট মেসেজ তৈরি করা যায়নি।","review.commit.generate.failed":"কমিট মেসেজ তৈরি করা যায়নি: {error}","review.commit.generate.missingPrompt":"একটি কমিট মেসেজ তৈরি করতে কিছু প্রসঙ্গ যোগ করুন।","review.commit.includeUnstaged":"স্টেজ না করা পরিবর্তনগুলি অন্তর্ভুক্ত করুন","review.commit.loading.description":"একটু  অপেক্ষা করুন, এতে কয়েক মুহূর্ত সময় লাগতে পারে…","review.commit.loading.step.commit.done":"কমিট না করা পরিবর্তনগুলি","review.commit.loading.step.commit.pending":"পরিবর্তনগুলি কমিট করা হচ্ছে","review.commit.loading.step.createPr.done":"একটি পুল রিকোয়েস্ট তৈরি করা হয়েছে","review.commit.loading.step.createPr.pending":"একটি পুল রিকোয়েস্ট তৈরি করা হচ্ছে","review.commit.loading.step.push.done":"ব্রাঞ্চ {branch}-এ পুশ করা হয়েছে","review.commit.loading.step.push.pending":"ব্রাঞ্চ {branch}-এ পুশ করা হচ্ছে","review.commit.loading.title.commit":"পরিবর্তনগুলি কমিট করা হচ্ছে","review.commit.loading.title.createPr":"একটি পুল রিকোয়েস্ট তৈরি করা হচ্ছে","review.commit.loading.title.push":"পরিবর্তনগুলি পুশ করা হচ্ছে","review.commit.messageLabel":"কমিট মেসেজ","review.commit.messagePlaceholder":"একটি কমিট মেসেজ স্বয়ংক্রিয়ভাবে তৈরি করতে ফাঁকা ছেড়ে দিন","review.commit.nextSteps":"পরবর্তী ধাপ","review.commit.nextSteps.commit":"কমিট করুন","review.commit.nextSteps.commitAndCreate":"পুল রিকোয়েস্ট কমিট ও তৈরি করুন","review.commit.nextSteps.commitAndPush":"কমিট ও পুশ","review.commit.nextSteps.prRequiresGh":"GitHub CLI প্রয়োজন: {command}","review.commit.rows.changes":"পরিবর্তন","review.commit.rows.commitCount":"{count, plural, one {#টি কমিট} other {#টি কমিট}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {#টি কমিট} other {#টি কমিট}} এবং {stats}","review.commit.rows.fileCount":"{count, plural, one {#টি ফাইল} other {#টি ফাইল}}","review.commit.state.error.body":"কমিট করার সময় কিছু ভুল হয়েছে। আপনার git-এর স্টেটাস পরীক্ষা করে আবার চেষ্টা করুন।","review.commit.state.error.title":"কমিট করা যায়নি","review.commit.state.success.title":"পরিবর্তনগুলি কমিট করা হয়েছে","review.commit.untracked.loadingStats":"ট্র্যাক না করা পরিবর্তনগুলির পরিসংখ্যান লোড হচ্ছে…","reviewFindingAttachments.count":"{count, plural, one {#টি ফলাফল} other {#টি ফলাফল}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"এজেন্ট আচরণ কাস্টমাইজ করতে আপনার কনফিগারেশন এডিট করুন","settings.agent.configuration.configToml.docs":"ডকুমেন্ট","settings.agent.configuration.subtitle":"এই সেটিংস Codex ব্যবহার করা হয় এমন যেকোনও স্থানে প্রযোজ্য।","settings.automations.banner.danger":"অটোমেশনগুলি আপনার ডিফল্ট স্যান্ডবক্স সেটিংসের মাধ্যমে চলে, যা বর্তমানে পূর্ণাঙ্গ ব্যবহার সেট করা আছে। পূর্ণাঙ্গ ব্যবহারের সাথে ব্যাকগ্রাউন্ড অটোমেশন চালানোর ঝুঁকি বেশি, কারণ Codex ফাইলগুলি পরিবর্তন করতে পারে, কমান্ড চালাতে পারে এবং জিজ্ঞাসা না করেই নেটওয়ার্ক ব্যবহার করতে পারে। ওয়ার্কস্পেস লেখার জন্য স্যান্ডবক্স সেটিংস আপডেট করা, এবং এজেন্ট পূর্ণাঙ্গ ব্যবহারের সাথে কোন কমান্ড চালাতে পারে তা নির্বাচিতভাবে নির্ধারণ করার জন্য <rulesDocsLink>নিয়ম</rulesDocsLink> ব্যবহার করার কথা বিবেচনা করুন।","settings.automations.banner.defaultHowTo.default":"অটোমেশনগুলি আপনার ডিফল্ট স্যান্ডবক্স সেটিংসের মাধ্যমে চলে। যদি ওয়ার্কস্পেসের বাইরে ফাইল পরিবর্তন করতে, নেটওয়ার্ক ব্যবহার করতে বা আপনার কম্পিউটারে অ্যাপগুলির সাথে কাজ করতে হয় তাহলে টুল কলগুলি ব্যর্থ হবে। আপনি <rulesDocsLink>নিয়ম</rulesDocsLink> ব্যবহার করে স্যান্ডবক্সের বাইরে চালানোর জন্য নির্বাচিতভাবে allowlist কমান্ডগুলি ব্যবহার করতে পারেন।","settings.automations.banner.defaultHowTo.readOnly":"অটোমেশনগুলি আপনার ডিফল্ট স্যান্ডবক্স সেটিংসের মাধ্যমে চলে, যা কেবল পড়ার যোগ্য হিসাবে সেট করা থাকে। ফাইল পরিবর্তন, নেটওয়ার্ক ব্যবহার, অথবা আপনার কম্পিউটারে অ্যাপগুলির সাথে কাজ করার প্রয়োজন হলে টুল কলগুলি ব্যর্থ হবে। ওয়ার্কস্পেস লেখার জন্য স্যান্ডবক্স সেটিংস আপডেট করার কথা বিবেচনা করুন।","settings.automations.cancel":"বাতিল করুন","settings.automations.create":"তৈরি করুন","settings.automations.cwdEmpty":"কোনও প্রোজেক্ট ফোল্ডার উপলভ্য নেই","settings.automations.cwdLabel":"প্রোজেক্ট","settings.automations.cwdPlaceholder":"একটি ফোল্ডার বেছে নিন","settings.automations.cwdSubtitle":"যদি আপনি একটি নির্দিষ্ট ব্রাঞ্চে একটি অটোমেশন চালাতে চান, তাহলে আপনি আপনার প্রম্পটে এটি নির্দিষ্ট করতে পারেন।","settings.automations.delete":"মুছুন","settings.automations.dialog.editTitle":"অটোমেশন এডিট করুন","settings.automations.dialog.newTitle":"নতুন অটোমেশন","settings.automations.dialog.subtitle":"ব্যাকগ্রাউন্ডে পুনরাবৃত্ত কাজগুলি স্বয়ংক্রিয় করুন। Codex ইনবক্সে ফলাফল যোগ করে, অথবা রিপোর্ট করার মতো কিছু না থাকলে স্বয়ংক্রিয়ভাবে কাজটি আর্কাইভ করে। <learnMoreLink>আরও জানুন</learnMoreLink>","settings.automations.dialog.title":"অটোমেশন তৈরি করুন","settings.automations.executionCopy.git":"অটোমেশন নির্দিষ্ট ওয়ার্কট্রিতে ব্যাকগ্রাউন্ডে চলে।","settings.automations.executionCopy.nonGit":"নন-ভার্সন-নিয়ন্ত্রিত প্রোজেক্টগুলিতে অটোমেশন সরাসরি প্রোজেক্ট ডিরেক্টরিতে চলে। ব্যাকগ্রাউন্ড ওয়ার্কট্রিতে রান সক্ষম করতে Git ব্যবহার করার কথা বিবেচনা করুন।","settings.automations.executionEnvironment.local":"লোকাল","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"লোড হচ্ছে...","settings.automations.nameLabel":"নাম","settings.automations.namePlaceholder":"সেন্ট্রি সমস্যাগুলির জন্য পরীক্ষা করুন","settings.automations.pause":"থামান","settings.automations.promptLabel":"প্রম্পট","settings.automations.promptPlaceholder":"$Sentry-এ ক্র্যাশ খুঁজুন","settings.automations.resume":"আবার শুরু করুন","settings.automations.rruleSummaryFallback":"প্রচলিত সময়সূচি","settings.automations.runNow":"পরীক্ষা","settings.automations.save":"সেভ করুন","settings.automations.scheduleBadge.dayCount":"{count}দিন","settings.automations.scheduleBadge.interval":"{count}ঘণ্টা","settings.automations.scheduleBadge.weekdays":"সপ্তাহের কাজের দিন","settings.automations.scheduleBadge.weekends":"সপ্তাহান্তে","settings.automations.scheduleHeader":"সময়সূচি","settings.automations.scheduleHours":"ঘণ্টা","settings.automations.scheduleLabel":"প্রতিটি চালান","settings.automations.scheduleMode.daily":"দিনে একবার","settings.automations.scheduleMode.interval":"ব্যবধান","settings.automations.scheduleModeLabel":"সময়সূচির প্রকার","settings.automations.scheduleSummary.daily":"দিনে একবার {time}-এ","settings.automations.scheduleSummary.interval":"প্রতি {count} ঘণ্টায়","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {এক # দিন} other {# দিন}}","settings.automations.scheduleSummary.intervalDays":"{days}-এ {interval} ","settings.automations.scheduleSummary.intervalHourly":"ঘণ্টাভিত্তিক","settings.automations.scheduleSummary.singleDay":"{day} {time}-এ ","settings.automations.scheduleSummary.weekdays":"সপ্তাহের কাজের দিনে {time}-এ","settings.automations.scheduleSummary.weekdaysLabel":"সপ্তাহের কাজের দিন","settings.automations.scheduleSummary.weekends":"সপ্তাহের কাজের দিনে {time}-এ","settings.automations.scheduleSummary.weekendsLabel":"সপ্তাহান্তে","settings.automations.scheduleSummary.weekly":"{days} {time}-এ ","settings.automations.scheduleWeekdays":"চালু","settings.automations.weekdayState.excluded":"বাদ দেওয়া হয়েছে","settings.automations.weekdayState.included":"অন্তর্ভুক্ত করা হয়েছে","settings.conversationDetail.steps":"ধাপ","settings.conversationDetail.steps.description":"কমান্ড এবং আউটপুট আড়াল করুন","settings.conversationDetail.stepsWithCommands":"কোড কমান্ডসহ বিভিন্ন ধাপ","settings.conversationDetail.stepsWithCommands.description":"কমান্ড দেখান, আউটপুট সঙ্কুচিত করুন","settings.conversationDetail.stepsWithOutput":"কোড আউটপুটসহ বিভিন্ন ধাপ","settings.conversationDetail.stepsWithOutput.description":"কমান্ড দেখান এবং আউটপুট প্রসারিত করুন","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"কোনও আর্কাইভ করা চ্যাট নেই","settings.dataControls.archivedChats.error":"আর্কাইভ করা চ্যাটগুলি লোড করা যায়নি।","settings.dataControls.archivedChats.loading":"আর্কাইভ করা চ্যাট লোড হচ্ছে…","settings.dataControls.archivedChats.unarchive":"আর্কাইভ থেকে সরান","settings.dataControls.archivedChats.unarchiveError":"চ্যাট আর্কাইভ থেকে সরানো যায়নি","settings.dataControls.archivedChats.unarchiveSuccess":"আর্কাইভমুক্ত থ্রেড। <viewNowLink>এখন দেখুন</viewNowLink>","settings.dataControls.archivedChats.untitled":"শিরোনামহীন চ্যাট","settings.editRow.headerPlaceholder":"কি","settings.editRow.removeEntry":"এন্ট্রি সরান","settings.editRow.valuePlaceholder":"মান","settings.general.appearance":"চেহারা-ছবি","settings.general.appearance.codeFont":"কোড ফন্ট","settings.general.appearance.codeFont.description":"চ্যাট এবং ডিফ জুড়ে কোডের জন্য ব্যবহৃত ফন্ট এবং আকার ফেরবদল করুন","settings.general.appearance.codeFontFamily":"কোড ফন্ট ফ্যামিলি","settings.general.appearance.codeFontSize":"কোডের ফন্টের সাইজ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Make windows use a solid background rather than system translucency","settings.general.appearance.opaqueWindows.label":"Use opaque window background","settings.general.appearance.sansFontFamily":"Sans ফন্ট ফ্যামিলি","settings.general.appearance.sansFontFamily.description":"Codex UI-এর জন্য ব্যবহৃত ফন্টটি সমন্বয় করুন","settings.general.appearance.sansFontSize":"Sans ফন্ট সাইজ","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark-এর প্রথম পালা চলাকালীন পূর্ণ-উইন্ডো উদযাপনের প্রভাব দেখান","settings.general.appearance.sparkCelebrationEffects.label":"Spark উদযাপনের প্রভাব","settings.general.appearance.theme":"থিম","settings.general.appearance.theme.dark":"গাঢ়","settings.general.appearance.theme.description":"হালকা, গাঢ় ব্যবহার করুন, অথবা আপনার সিস্টেমের সাথে মেলান","settings.general.appearance.theme.light":"আলো","settings.general.appearance.theme.system":"সিস্টেম","settings.general.appearance.usePointerCursors.description":"ইন্টারঅ্যাক্টিভ উপাদানের উপর ঘোরানোর সময় কার্সারটিকে পয়েন্টারে পরিবর্তন করুন","settings.general.appearance.usePointerCursors.label":"পয়েন্টার কার্সার ব্যবহার করুন","settings.general.enterBehavior.description":"সক্রিয় থাকাকালীন, মাল্টিলাইন প্রম্পট পাঠানোর জন্য {modifierSymbol}+ এন্টার টিপতে হবে।","settings.general.enterBehavior.label":"দীর্ঘ প্রম্পট পাঠাতে {modifierSymbol}+ এন্টার টিপতে হবে।","settings.general.experimentalFeatures":"পরীক্ষামূলক ফিচার (বিটা)","settings.general.experimentalFeatures.empty":"কোনও বিটা পরীক্ষামূলক ফিচার উপলভ্য নেই।","settings.general.experimentalFeatures.loading":"পরীক্ষামূলক ফিচারগুলি লোড হচ্ছে...","settings.general.experimentalFeatures.restartNote":"পরীক্ষামূলক ফিচারের পরিবর্তনগুলি প্রয়োগ করতে Codex পুনরায় চালু করুন","settings.general.experimentalFeatures.toggle":"{featureName} টগল করুন","settings.general.followUpQueueMode.description":"Codex চলাকালীন ফলো-আপগুলি কিউতে রাখুন, অথবা বর্তমান রানটি ব্যাহত করুন।","settings.general.followUpQueueMode.interrupt":"চালনা করুন","settings.general.followUpQueueMode.label":"ফলো-আপ আচরণ","settings.general.followUpQueueMode.queue":"সারি","settings.general.notifications":"নোটিফিকেশন","settings.general.power.preventSleepWhileRunning.description":"Codex থ্রেড চালানোর সময় আপনার কম্পিউটার চালু রাখুন।","settings.general.power.preventSleepWhileRunning.label":"চালানোর সময়ে স্লিপ মোডে যেতে দেবেন না ","settings.git.branchPrefix.ariaLabel":"ব্রাঞ্চ প্রিফিক্স","settings.git.branchPrefix.description":" Codex-এ নতুন শাখা তৈরি করার সময় ব্যবহৃত প্রিফিক্স","settings.git.branchPrefix.label":"ব্রাঞ্চ প্রিফিক্স","settings.git.branchPrefix.placeholder":"Codex/","settings.git.branchPrefix.save.error":"ব্রাঞ্চ প্রিফিক্স সেভ করা যায়নি","settings.git.branchPrefix.save.success":"ব্রাঞ্চ প্রিফিক্স সেভ করা হয়েছে","settings.git.commitInstructions.ariaLabel":"কমিট করার নির্দেশাবলী","settings.git.commitInstructions.description":"কমিট মেসেজ তৈরির প্রম্পটে যোগ করা হয়েছে","settings.git.commitInstructions.label":"কমিট করার নির্দেশাবলী","settings.git.commitInstructions.placeholder":"কমিট মেসেজ নির্দেশনা যোগ করুন...","settings.git.commitInstructions.save":"সেভ করুন","settings.git.commitInstructions.save.error":"কমিট করার নির্দেশাবলী সেভ করা যায়নি","settings.git.commitInstructions.save.success":"কমিট করার নির্দেশাবলী সেভ করা হয়েছে","settings.git.forcePush.ariaLabel":"সর্বদা জোর করে পুশ করুন","settings.git.forcePush.description":"Codex থেকে পুশ করার সময় --force-with-lease ব্যবহার করুন","settings.git.forcePush.label":"সর্বদা জোর করে পুশ করুন","settings.git.forcePush.save.disabled":"সর্বদা জোর করে পুশ করার ক্ষমতা অক্ষম করুন","settings.git.forcePush.save.enabled":"সর্বদা জোর করে পুশ করার ক্ষমতা সক্ষম করুন","settings.git.forcePush.save.error":"জোর করে পুশ করার সেটিং সেভ করা যায়নি","settings.git.prInstructions.ariaLabel":"পুল রিকোয়েস্ট নির্দেশাবলী","settings.git.prInstructions.description":"Codex দ্বারা তৈরি পুল রিকোয়েস্ট বডিতে যুক্ত করা হয়েছে","settings.git.prInstructions.label":"পুল রিকোয়েস্ট নির্দেশাবলী","settings.git.prInstructions.placeholder":"পুল রিকোয়েস্ট নির্দেশনা যোগ করুন...","settings.git.prInstructions.save":"সেভ করুন","settings.git.prInstructions.save.error":"পুল রিকোয়েস্ট নির্দেশাবলী সেভ করা যায়নি","settings.git.prInstructions.save.success":"পুল অনুরোধ নির্দেশাবলী সেভ করা হয়েছে","settings.ide.defaultOpenTarget.description":"যেখানে ফাইল এবং ফোল্ডারগুলি ডিফল্টভাবে খোলে","settings.ide.defaultOpenTarget.label":"ডিফল্টভাবে যেখানে খোলা হবে","settings.ide.defaultOpenTarget.placeholder":"কোনও টার্গেট পাওয়া যায়নি","settings.ide.language.auto":"স্বয়ং-শনাক্ত","settings.ide.language.autoOption":"স্বয়ং-শনাক্ত","settings.ide.language.description":"অ্যাপ UI-এর ভাষা","settings.ide.language.label":"ভাষা","settings.ide.language.search":"ভাষা খুঁজুন","settings.layout.actionButton":"সম্প্রসারণ পুনরায় চালু করুন","settings.layout.actionTitle":"অ্যাকশনের সেটিংস","settings.layout.fullWidthTitle":"সেটিংস (পূর্ণ প্রস্থ)","settings.layout.title":"সেটিংস","settings.localEnvironments.actions.add":"অ্যাকশন যোগ করুন","settings.localEnvironments.actions.add.description":"টুলবার থেকে চালানোর জন্য একটি নতুন কমান্ড তৈরি করুন।","settings.localEnvironments.actions.add.save":"সেভ করুন","settings.localEnvironments.actions.empty":"লোকাল টুলবার থেকে কমান্ড চালানোর জন্য একটি অ্যাকশন যোগ করুন।","settings.localEnvironments.actions.icon.debug":"ডিবাগ","settings.localEnvironments.actions.icon.run":"চালান","settings.localEnvironments.actions.icon.test":"পরীক্ষা","settings.localEnvironments.actions.icon.tool":"টুল","settings.localEnvironments.actions.item.button.delete":"মুছুন","settings.localEnvironments.actions.item.command":"অ্যাকশন স্ক্রিপ্ট","settings.localEnvironments.actions.item.name":"নাম","settings.localEnvironments.actions.item.platforms":"প্ল্যাটফর্ম","settings.localEnvironments.actions.item.platforms.help":"শুধুমাত্র একটি নির্দিষ্ট অপারেটিং সিস্টেমে চলে।","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"প্লাটফর্ম নির্বাচন","settings.localEnvironments.actions.item.platforms.specific":"প্লাটফর্ম নির্দিষ্ট","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"মুছুন","settings.localEnvironments.actions.title":"কাজসমূহ","settings.localEnvironments.breadcrumb.back":"পিছনে","settings.localEnvironments.breadcrumb.edit":"এডিট করুন","settings.localEnvironments.breadcrumb.root":"এনভায়রনমেন্ট","settings.localEnvironments.environment.actions.description":"এই অ্যাকশনগুলি যেকোনও কমান্ড চালাতে পারে এবং এগুলি হেডারে প্রদর্শিত হবে।","settings.localEnvironments.environment.actionsLabel":"কাজসমূহ","settings.localEnvironments.environment.create":"লোকাল এনভায়রনমেন্ট তৈরি করুন","settings.localEnvironments.environment.defaultName":"লোকাল","settings.localEnvironments.environment.edit":"লোকাল এনভায়রনমেন্ট এডিট করুন","settings.localEnvironments.environment.empty":"এই প্রোজেক্টের জন্য এখনও কোনও স্থানীয় এনভায়রনমেন্ট কনফিগার করা হয়নি।","settings.localEnvironments.environment.name":"নাম","settings.localEnvironments.environment.setup":"স্ক্রিপ্ট সেট-আপ করুন","settings.localEnvironments.environment.setup.description":"এই স্ক্রিপ্টটি ওয়ার্কট্রি তৈরির সময় চলবে।","settings.localEnvironments.environment.setup.hint":"প্রোজেক্টের মূলে কাজ করে।","settings.localEnvironments.environment.setup.platformOverrides":"প্ল্যাটফর্ম ওভাররাইড","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} সেটআপ স্ক্রিপ্ট যোগ করুন","settings.localEnvironments.environment.setup.platformOverrides.description":"নির্দিষ্ট অপারেটিং সিস্টেমের জন্য ডিফল্ট স্ক্রিপ্টটিকে ওভাররাইড করে।","settings.localEnvironments.environment.setup.platformOverrides.remove":"অপসারণ করুন","settings.localEnvironments.environment.setup.script":"স্ক্রিপ্ট","settings.localEnvironments.environment.title":"এনভায়রনমেন্টের বিশদ তথ্য","settings.localEnvironments.file.missing":"এই ফাইলটি প্রথমবার তৈরি করার জন্য সেভ করুন।","settings.localEnvironments.file.parseError":"বিদ্যমান ফাইলটি পার্স করা যাচ্ছে না। সেভ করলে এটি ওভাররাইট হয়ে যাবে। ({error})","settings.localEnvironments.file.path":"ফাইল: {path}","settings.localEnvironments.file.readError":"লোকাল এনভায়রনমেন্টের ডেটা লোড করা যায়নি। ({error})","settings.localEnvironments.file.title":"লোকাল এনভায়রনমেন্ট ফাইল","settings.localEnvironments.loading.body":"আপনার প্রোজেক্টের কনফিগারেশন আনা হচ্ছে।","settings.localEnvironments.loading.title":"লোকাল এনভায়রনমেন্ট লোড হচ্ছে","settings.localEnvironments.preview.devOnly":"(শুধুমাত্র ডেভেলপারদের জন্য)","settings.localEnvironments.preview.save":"সেভ করুন","settings.localEnvironments.preview.saveError":"ফাইলটি সেভ করা যায়নি। ({error})","settings.localEnvironments.preview.title":"প্রিভিউ","settings.localEnvironments.save.disabled.name":"সেভ করার জন্য একটি পরিবেশের নাম যোগ করুন।","settings.localEnvironments.save.disabled.noChanges":"সেভ করার জন্য কোনও পরিবর্তন নেই।","settings.localEnvironments.save.disabled.saving":"সেভ করা হচ্ছে...","settings.localEnvironments.save.success":"লোকাল এনভায়রনমেন্ট সেভ করা হয়েছে","settings.localEnvironments.unavailable.body":"আমরা এই ওয়ার্কস্পেসের জন্য লোকাল এনভায়রনমেন্ট সেটিংস লোড করতে পারিনি।","settings.localEnvironments.unavailable.title":"লোকাল এনভায়রনমেন্ট উপলভ্য নেই","settings.localEnvironments.workspace.add":"প্রোজেক্ট যোগ করুন","settings.localEnvironments.workspace.title":"প্রোজেক্ট","settings.localEnvironments.workspaceSelect.addLabel":"এনভায়রনমেন্ট যোগ করুন","settings.localEnvironments.workspaceSelect.description":"লোকাল এনভায়রনমেন্ট Codex-কে জানায় যে কীভাবে একটি ওয়ার্কস্পেসের জন্য ওয়ার্কট্রি সেট-আপ করতে হয়। {learnMore}","settings.localEnvironments.workspaceSelect.empty":"এখনও কোনও প্রোজেক্ট নেই। স্থানীয় এনভায়রনমেন্ট কনফিগার করতে একটি যোগ করুন।","settings.localEnvironments.workspaceSelect.errorLabel":"এনভায়রনমেন্টের প্রতি মনোযোগ দেওয়া প্রয়োজন","settings.localEnvironments.workspaceSelect.learnMore":"আরও জানুন","settings.localEnvironments.workspaceSelect.listLabel":"উপলভ্য প্রোজেক্ট","settings.localEnvironments.workspaceSelect.loading":"প্রোজেক্ট লোড হচ্ছে","settings.localEnvironments.workspaceSelect.loadingLabel":"এনভায়রনমেন্ট লোড করা হচ্ছে","settings.localEnvironments.workspaceSelect.title":"একটি প্রোজেক্ট নির্বাচন করুন","settings.localEnvironments.workspaceSelect.viewAction":"দেখুন","settings.mcp.addServer":"সার্ভার যোগ করুন","settings.mcp.app.configure":"কনফিগার করুন","settings.mcp.app.connect":"সংযোগ করুন","settings.mcp.apps.refresh":"রিফ্রেশ করুন","settings.mcp.detail.addArgument":"যুক্তি যোগ করুন","settings.mcp.detail.addEnvVar":"এনভায়রনমেন্ট ভেরিয়েবেল","settings.mcp.detail.addEnvVarPassthrough":"ভেরিয়েবল যোগ করুন","settings.mcp.detail.args":"যুক্তি","settings.mcp.detail.back":"পিছনে","settings.mcp.detail.command":"চালু করার কমান্ড","settings.mcp.detail.cwd":"কাজের ডিরেক্টরি","settings.mcp.detail.docs":"MCP ডকুমেন্টেশন খুলুন","settings.mcp.detail.docs.link":"ডকুমেন্ট","settings.mcp.detail.envVarPassthrough":"এনভায়রনমেন্ট ভেরিয়েবেল পাসথ্রু","settings.mcp.detail.envVars":"এনভায়রনমেন্ট ভেরিয়েবেল","settings.mcp.detail.http.addEnvHeader":"ভেরিয়েবল যোগ করুন","settings.mcp.detail.http.addHeader":"হেডার যোগ করুন","settings.mcp.detail.http.bearerToken":"বাহক টোকেন এনভায়রনমেন্ট ভেরিয়েবল","settings.mcp.detail.http.envHeaders":"এনভায়রনমেন্ট ভেরিয়েবল থেকে নেওয়া হেডার","settings.mcp.detail.http.headers":"হেডার","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"নাম","settings.mcp.detail.save":"সেভ করুন","settings.mcp.detail.switchTransportNotice":"আপনি যদি MC সার্ভারের ধরন পরিবর্তন করতে চান, তাহলে প্রথমে এটি আনইনস্টল করুন।","settings.mcp.detail.titleExisting":"{name} MCP আপডেট করুন","settings.mcp.detail.titleNew":"একটি কাস্টম MCP-তে সংযোগ করুন","settings.mcp.detail.transport.http":"স্ট্রিমযোগ্য HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"আনইনস্টল করুন","settings.mcp.empty":"কোনও কাস্টম MCP সার্ভার সংযুক্ত নেই","settings.mcp.myServers":"কাস্টম সার্ভার","settings.mcp.partnerServer.description.figma":"সম্পূর্ণ Figma প্রসঙ্গ অন্তর্ভুক্ত করে আরও ভালো কোড তৈরি করুন","settings.mcp.partnerServer.description.github":"ওয়ার্কফ্লো স্বয়ংক্রিয় করতে এবং ডেটা নিষ্কাশন করতে GitHub API-এর সাথে একীভূত করুন","settings.mcp.partnerServer.description.linear":"Linear-এর সমস্যা ট্র্যাকিং এবং প্রোজেক্ট ম্যানেজমেন্টের সাথে একীভূত করুন।","settings.mcp.partnerServer.description.notion":"ডকুমেন্ট পড়ুন, পেজ আপডেট করুন, কাজগুলিকে ব্যবস্থিত করুন","settings.mcp.partnerServer.description.playwright":"ডিজাইন বাস্তবায়ন এবং UI পরীক্ষা করার জন্য ব্রাউজার অটোমেশন ইন্টিগ্রেট করুন।","settings.mcp.partnerServer.install":"ইনস্টল করুন","settings.mcp.partnerServer.installAndAuthenticate":"ইনস্টল করুন এবং প্রমাণীকরণ করুন","settings.mcp.partnerServer.logoAlt":"{label} লোগো","settings.mcp.partnerServer.manage":"ব্যবস্থিত করুন","settings.mcp.partnerServer.vendor":"{vendor} দ্বারা","settings.mcp.recommendedServers":"সুপারিশকৃত সার্ভার","settings.mcp.restartApp":"পুনরায় চালু করুন","settings.mcp.restartExtension":"সম্প্রসারণ পুনরায় চালু করুন","settings.mcp.server.enable":"সক্ষম করুন","settings.mcp.server.login":"প্রমাণীকরণ করুন","settings.mcp.server.settings":"সেটিংস","settings.multiselect.createOption":'"{value}" তৈরি করুন',"settings.multiselect.removeOption":"অপসারণ করুন","settings.nav.account":"অ্যাকাউন্ট","settings.nav.agent":"কনফিগারেশন","settings.nav.ariaLabel":"সেটিংস","settings.nav.back":"অ্যাপে ফিরে যান","settings.nav.data-controls":"আর্কাইভ করা থ্রেড","settings.nav.environments":"ক্লাউড এনভায়রনমেন্ট","settings.nav.externalTooltip":"[আলফা] ব্রাউজারে খোলে","settings.nav.general-settings":"সাধারণ","settings.nav.git-settings":"Git","settings.nav.local-environments":"এনভায়রনমেন্ট","settings.nav.mcp-settings":"MCP সার্ভার","settings.nav.notImplemented":"[আলফা] আলফা-তে উপলভ্য নেই","settings.nav.personalization":"ব্যক্তিনির্দিষ্টকরণ","settings.nav.skills-settings":"দক্ষতা","settings.nav.usage-analytics":"ব্যবহার এবং বিশ্লেষণ","settings.nav.worktrees":"ওয়ার্কট্রি","settings.openSourceLicenses.back":"পিছনে","settings.openSourceLicenses.loading":"লোড হচ্ছে...","settings.openSourceLicenses.missing":"কোনও তৃতীয় পক্ষের নোটিশ পাওয়া যায়নি।","settings.openSourceLicenses.notSupported":"এই হোস্টে উপলভ্য নেই।","settings.openSourceLicenses.rowDescription":"বান্ডিলড ডিপেন্ডেন্সির জন্য তৃতীয় পক্ষের নোটিশ","settings.openSourceLicenses.rowLabel":"সোর্স লাইসেন্স খুলুন","settings.openSourceLicenses.subtitle":"এই অ্যাপে অন্তর্ভুক্ত নির্ভরতার জন্য তৃতীয় পক্ষের নোটিশ","settings.openSourceLicenses.title":"সোর্স লাইসেন্স খুলুন","settings.openSourceLicenses.view":"দেখুন","settings.personalization.agents.description":"Codex-কে আপনার অনুযায়ী মানিয়ে নিতে নির্দেশাবলী এডিট করুন। {learnMore}","settings.personalization.agents.learnMore":"আরও জানুন","settings.personalization.agents.loadError":"agents.md লোড করা যায়নি।","settings.personalization.agents.loading":"agents.md লোড হচ্ছে…","settings.personalization.agents.placeholder":"আপনার কাস্টম নির্দেশাবলী যোগ করুন...","settings.personalization.agents.retry":"আবার চেষ্টা করুন","settings.personalization.agents.save":"সেভ করুন","settings.personalization.agents.save.error":"agents.md সেভ করা যায়নি","settings.personalization.agents.save.success":"agents.md সেভ করা হয়েছে","settings.personalization.agents.title":"চলতি নির্দেশাবলী","settings.personalization.personality.description":"Codex উত্তরের জন্য একটি ডিফল্ট কথার সুর বেছে নিন","settings.personalization.personality.label":"ব্যক্তিত্ব","settings.sample.contentBody":"সামঞ্জস্যপূর্ণ স্পেসিং সহ আপনার সেটিংস প্যানেলগুলি কম্পোজ করতে এই লেআউটটি ব্যবহার করুন।","settings.sample.contentTitle":"নমুনা কন্টেন্ট ব্লক","settings.section.account":"অ্যাকাউন্ট","settings.section.agent":"কনফিগারেশন","settings.section.data-controls":"আর্কাইভ করা থ্রেড","settings.section.environments":"ক্লাউড এনভায়রনমেন্ট","settings.section.external":"আলফা চলাকালীন আপনার ব্রাউজারে খোলে","settings.section.general-settings":"সাধারণ","settings.section.git-settings":"Git","settings.section.local-environments":"এনভায়রনমেন্ট","settings.section.mcp-settings":"MCP সার্ভার","settings.section.mcp-settings.docs":"ডকুমেন্ট","settings.section.mcp-settings.subtitle":"এক্সটার্নাল টুল এবং ডেটা সোর্সগুলি সংযুক্ত করুন।","settings.section.personalization":"ব্যক্তিনির্দিষ্টকরণ","settings.section.skills-settings":"দক্ষতা","settings.section.unavailable":"আলফাতে এখনও উপলভ্য নয়","settings.section.usage-analytics":"ব্যবহার এবং বিশ্লেষণ","settings.section.worktrees":"ওয়ার্কট্রি","settings.threadDetail.description":"থ্রেডে কত কমান্ড আউটপুট দেখাতে হবে তা বেছে নিন","settings.threadDetail.label":"থ্রেডের বিস্তারিত বিবরণ","settings.worktrees.conversation.untitled":"শিরোনামহীন কথোপকথন","settings.worktrees.delete.error":"ওয়ার্কট্রি মুছে ফেলা যায়নি","settings.worktrees.empty.body":"Codex দ্বারা তৈরি ওয়ার্কট্রিগুলি এখানে দেখানো হবে।","settings.worktrees.empty.title":"এখনও কোনও ওয়ার্কট্রি নেই","settings.worktrees.error.body":"ওয়ার্কট্রি লোড করার সময় কিছু সমস্যা হয়েছে।","settings.worktrees.error.retry":"আবার চেষ্টা করুন","settings.worktrees.error.title":"ওয়ার্কট্রি লোড করা যাচ্ছে না","settings.worktrees.loading.body":"ওয়ার্কট্রির বিশদ তথ্য আনা হচ্ছে।","settings.worktrees.loading.title":"ওয়ার্কট্রি লোড হচ্ছে","settings.worktrees.repository.loading":"রিপোজিটরি মেটাডেটা লোড হচ্ছে...","settings.worktrees.repository.unknown":"অজানা রিপোজিটরি","settings.worktrees.row.conversations":"কথোপকথন","settings.worktrees.row.conversations.empty":"এই ওয়ার্কট্রির সাথে কোনও কথোপকথন লিঙ্ক করা হয়নি।","settings.worktrees.row.conversations.loading":"কথোপকথন লোড হচ্ছে...","settings.worktrees.row.delete":"মুছুন","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"নতুন প্রোজেক্ট যোগ করুন","sidebarElectron.archiveThread":"থ্রেড আর্কাইভ করুন","sidebarElectron.archiveThreadError":"থ্রেড আর্কাইভ করা যায়নি","sidebarElectron.collapseFolder":"ফোল্ডার সঙ্কুচিত করুন","sidebarElectron.createStableWorktree.dialog.cancel":"বাতিল করুন","sidebarElectron.createStableWorktree.dialog.create":"তৈরি করুন","sidebarElectron.debugNavLink":"ডিবাগ","sidebarElectron.editWorkspaceRootOptionName":"নাম এডিট করুন","sidebarElectron.expandFolder":"ফোল্ডার প্রসারিত করুন","sidebarElectron.groupByMenu.recency":"কালানুক্রমিক তালিকা","sidebarElectron.groupByMenu.title":"সংগঠিত করুন","sidebarElectron.groupByMenu.workspace":"প্রোজেক্ট দ্বারা","sidebarElectron.inboxRouteNavLink":"অটোমেশন","sidebarElectron.markThreadUnread":"না-পড়া হিসেবে চিহ্নিত করুন","sidebarElectron.missingWorkspaceRoot":"এই প্রোজেক্ট ফোল্ডারটি মুছে ফেলা হয়েছে অথবা সরানো হয়েছে","sidebarElectron.newThread":"নতুন থ্রেড","sidebarElectron.newThreadInGroup":"{folder}-এ নতুন  থ্রেড শুরু করুন","sidebarElectron.noRecentThreads":"সাম্প্রতিক কোন থ্রেড নেই","sidebarElectron.noTasks":"কোনও থ্রেড নেই","sidebarElectron.noTasks.start":"একটি নতুন প্রোজেক্ট যোগ করুন","sidebarElectron.noTasksWithFilter":"কোনও থ্রেড ফিল্টারগুলির সাথে মিলছে না","sidebarElectron.pinnedThreads":"পিন করা থ্রেড","sidebarElectron.recentNavLink":"থ্রেড","sidebarElectron.recentThreads":"সাম্প্রতিক থ্রেড","sidebarElectron.removeWorkspaceRootOption":"অপসারণ করুন","sidebarElectron.renameThread":"থ্রেডের নতুন নাম দিন","sidebarElectron.renameThreadDialogAriaLabel":"থ্রেডের শিরোনাম","sidebarElectron.renameThreadDialogCancel":"বাতিল করুন","sidebarElectron.renameThreadDialogPlaceholder":"শিরোনাম যোগ করুন…","sidebarElectron.renameThreadDialogSave":"সেভ করুন","sidebarElectron.renameThreadDialogSubtitle":"এটি সংক্ষিপ্ত এবং সহজে শনাক্তযোগ্য রাখুন।","sidebarElectron.renameThreadDialogTitle":"থ্রেডের নতুন নাম দিন","sidebarElectron.renameThreadError":"থ্রেডের নতুন নাম দেওয়া যায়নি","sidebarElectron.renameWorkspaceRootOptionLabel":"ডিসপ্লে নাম","sidebarElectron.showLess":"কম দেখান","sidebarElectron.showMenu.all":"সব থ্রেড","sidebarElectron.showMenu.relevant":"প্রাসঙ্গিক","sidebarElectron.showMenu.relevantHint":"শুধুমাত্র বর্তমান শাখা, ওয়ার্কট্রি, অথবা আপনার মনোযোগের প্রয়োজন এমন অন্যান্য থ্রেডের জন্য সাম্প্রতিক থ্রেডগুলি দেখান","sidebarElectron.showMenu.title":"দেখান","sidebarElectron.showMenu.tooltip":"থ্রেড ফিল্টার করুন, সাজান এবং সংগঠিত করুন","sidebarElectron.showMenu.trigger":"সাইডবার থ্রেডগুলি ফিল্টার করুন","sidebarElectron.showMore":"বেশি দেখান","sidebarElectron.skillsRouteNavLink":"দক্ষতা","sidebarElectron.sortMenu.created":"তৈরি করা হয়েছে","sidebarElectron.sortMenu.title":"এই অনুসারে বাছাই করুন","sidebarElectron.sortMenu.updated":"আপডেট করা হয়েছে","sidebarElectron.taskNavigation":"অটোমেশন ফোল্ডার","sidebarElectron.tasksInFolder":"{folder}-এ অটোমেশন","sidebarElectron.workspaceOptions":"{folder}-এর জন্য প্রোজেক্ট অ্যাকশন","sidebarElectron.worktreeGroupTooltip":"এটি একটি গিট ওয়ার্ক-ট্রি।","skills.appsPage.createSkill":"নতুন দক্ষতা","skills.appsPage.empty.skills":"কোনও দক্ষতা পাওয়া যায়নি","skills.appsPage.search.skills":"দক্ষতা খুঁজুন","skills.appsPage.search.skills.label":"দক্ষতা খুঁজুন","skills.appsPage.section.installedApps":"অপমান করা হয়েছে","skills.appsPage.section.skills":"দক্ষতা","skills.appsPage.subheading":"Codex-কে সুপারপাওয়ার দিন।<link>আরও জানুন</link>","skills.appsPage.tab.recommended":"সুপারিশকৃত","skills.appsPage.tab.skills":"দক্ষতা","skills.card.contentsError":"দক্ষতার কন্টেন্ট লোড করা যাচ্ছে না।","skills.card.disable":"অক্ষম করুন","skills.card.disableSuccess":"{skillName} দক্ষতা অক্ষম করা হয়েছে","skills.card.disabledBadge":"অক্ষম করা হয়েছে","skills.card.enable":"সক্ষম করুন","skills.card.enableSuccess":"{skillName} দক্ষতা সক্ষম করা হয়েছে","skills.card.loadingContents":"দক্ষতার কন্টেন্ট লোড করা হচ্ছে...","skills.card.more":"আরও কাজ","skills.card.open":"খুলুন","skills.card.removeFailed":"দক্ষতা আনইনস্টল করা যায়নি","skills.card.removeSuccess":"{skillName} দক্ষতা আনইনস্টল করা হয়েছে","skills.card.toggleEnabledError":"দক্ষতা আপডেট করা যায়নি","skills.card.try":"ব্যবহার করে দেখুন","skills.card.trySkill":"দক্ষতা ব্যবহার করে দেখুন","skills.card.uninstall":"আনইনস্টল করুন","skills.hero.dotLabel":"স্লাইড {index}-এ যান","skills.hero.next":"পরবর্তী ফিচার করা দক্ষতা","skills.hero.trySkill":"দক্ষতা ব্যবহার করে দেখুন","skills.page.createSkill":"নতুন দক্ষতা","skills.page.empty":"কোনও দক্ষতা পাওয়া যায়নি","skills.page.filteredEmpty":"কোনও দক্ষতা আপনার ফিল্টারের সাথে মিলছে না","skills.page.filteredEmptyDescription":"আপনার সন্ধান বা ব্যাপ্তি ফিল্টারগুলি পরিবর্তন করে দেখুন","skills.page.heading":"দক্ষতা","skills.page.loading":"দক্ষতা লোড হচ্ছে...","skills.page.refreshSkills":"রিফ্রেশ করুন","skills.page.refreshSkillsToUseNew":"নতুন দক্ষতা(গুলি) ব্যবহার করতে রিফ্রেশ করুন","skills.page.search":"দক্ষতা খুঁজুন","skills.page.search.label":"দক্ষতা খুঁজুন","skills.page.subheading":"Codex-কে সুপারপাওয়ার দিন।<link>আরও জানুন</link>","skills.preview.copyPrompt":"প্রম্পট কপি করুন","skills.preview.examplePrompt":"উদাহরণ প্রম্পট","skills.recommended.error":"সুপারিশকৃত দক্ষতা লোড করা যাচ্ছে না","skills.recommended.install":"ইনস্টল করুন","skills.recommended.installSkill":"দক্ষতা ইনস্টল করুন","skills.recommended.installSuccess":"{skillName} দক্ষতা ইনস্টল করা হয়েছে","skills.recommended.installed":"অপমান করা হয়েছে","skills.scope.admin":"অ্যাডমিন","skills.scope.adminInstalled":"অ্যাডমিন ইনস্টল করা হয়েছে","skills.scope.builtIn":"সিস্টেম","skills.scope.personal":"ব্যক্তিগত","skills.scope.repo":"রিপোজিটরি","skills.scope.system":"সিস্টেম","skills.scope.team":"টিম","skills.scope.user":"ব্যবহারকারী","skills.section.installed":"অপমান করা হয়েছে","skills.section.recommended":"সুপারিশকৃত","story.slidingToggle.existing":"বিদ্যমান","story.slidingToggle.fromLocal":"স্থানীয় থেকে","story.slidingToggle.new":"নতুন","story.slidingToggle.toLocal":"স্থানীয় পর্যন্ত","terminal.close":"টার্মিনাল বন্ধ করুন","terminal.title":"টার্মিনাল","thinkingShimmer.default":"চিন্তাভাবনা করছে","threadEnvIcon.cloudTooltip":"এই কথোপকথনটি Codex Cloud এনভায়রনমেন্টে চলছে।","threadEnvIcon.localTooltip":"এই কথোপকথনটি লোকাল এনভায়রনমেন্টে চলছে।","threadEnvIcon.worktreeTooltip":"এই কথোপকথনটি একটি স্থানীয় git ওয়ার্কট্রিতে চলছে।","threadHeader.archiveConfirmCancel":"বাতিল করুন","threadHeader.archiveConfirmConfirm":"আর্কাইভ করুন","threadHeader.copySessionId":"সেশন কপি করা হয়েছে","threadHeader.copyWorkingDirectory":"কাজের ডিরেক্টরি কপি করুন","threadHeader.forkIntoLocal":"লোকাল-এ ফর্ক করুন","threadHeader.forkIntoWorktree":"নতুন ওয়ার্কট্রিতে ফর্ক করুন","threadHeader.forkPendingWorktreePrompt":"এই কথোপকথনটিকে একটি নতুন ওয়ার্কট্রিতে ফর্ক করুন।","threadHeader.forkPendingWorktreeTitle":"ফর্ক করা কথোপকথন","threadHeader.forkThreadError":"থ্রেড ফর্ক করা যায়নি","threadHeader.forkThreadRequiresGitRepo":"নতুন ওয়ার্কট্রিতে ফর্ক করার জন্য একটি git রিপোজিটরি প্রয়োজন","threadHeader.moreActions":"থ্রেড পদক্ষেপ","threadPage.newThread":"নতুন থ্রেড","threadPage.runAction.changeEnvironment":"এনভায়রনমেন্ট পরিবর্তন করুন","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} পদক্ষেপ","threadPage.runAction.environmentSelector.label":"পরিবেশ বেছে নিন","threadPage.runAction.label":"চালান","threadPage.runAction.missing.label":"একটি রান অ্যাকশন সেট-আপ করুন","threadPage.runAction.setup.commandLabel":"চালানোর জন্য কমান্ড","threadPage.runAction.setup.description":"Codex-কে জানান কীভাবে ডিপেনডেন্সিগুলি ইনস্টল করতে হবে এবং আপনার অ্যাপ চালু করতে হবে।","threadPage.runAction.setup.editMore":"এনভায়রনমেন্ট সেটিংস","threadPage.runAction.setup.placeholder":"যেমন: npm ইনস্টল করুন npm রান করুন","threadPage.runAction.setup.submit":"সেভ করুন এবং চালান","threadPage.runAction.setup.title":"চালান","threadPage.runAction.tooltip.withEnvironment":"{environmentName} পদক্ষেপ","threadPage.toggleDiffPanel":"ডিফ প্যানেল টগল করুন","threadPage.toggleTerminal":"টার্মিনাল টগল করুন","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ফোল্ডার খুলুন","toolSummaryForCmd.exploredFiles":"<verb>তালিকাভুক্ত</verb> ফাইল","toolSummaryForCmd.exploredFilesInPath":"{path}-এ <verb>তালিকাভুক্ত</verb> ফাইল","toolSummaryForCmd.exploringFiles":"<verb>লিস্টিং</verb> ফাইল ","toolSummaryForCmd.exploringFilesInPath":"{path}-এ <verb>লিস্টিং</verb> ফাইল","toolSummaryForCmd.ranGenericCommand":"<status>কমান্ড চালানো হয়েছে</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"{command}{timer}<status>চালানো হয়েছে</status>","toolSummaryForCmd.read":"<verb>পড়ুন</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>কমান্ড চালানো হচ্ছে</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} -এর জন্য","toolSummaryForCmd.searchedFor":"{query} <verb>খোঁজা হয়েছে</verb> ","toolSummaryForCmd.searchedForFiles":"ফাইলগুলি <verb>খোঁজা হয়েছে</verb>","toolSummaryForCmd.searchedForInPath":"{path}-এ {query} <verb>খোঁজা হয়েছে</verb> ","toolSummaryForCmd.searchingFor":"{query} <verb>খোঁজা হচ্ছে</verb>","toolSummaryForCmd.searchingForFiles":"ফাইলগুলি <verb>খোঁজা হচ্ছে</verb>","toolSummaryForCmd.searchingForInPath":"{path}-এ {query} <verb>খোঁজা হচ্ছে</verb>","traceRecording.startDetails.cancel":"বাতিল করুন","wham.diff.addComment":"মন্তব্যগুলি যোগ করুন","wham.diff.binaryFile":"বাইনারি ফাইল দেখানো হয়নি","wham.diff.noContent":"কোনও কন্টেন্ট নেই","wham.fileTag.deleted":"মুছে ফেলা হয়েছে","wham.fileTag.new":"নতুন","wham.formattedRelativeDateTime.compactDaysAgo":"{value}দিন","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ঘণ্টা","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}মিনিট","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} মাস","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} সপ্তাহ","wham.formattedRelativeDateTime.compactYearsAgo":"{value} বছর","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"আপনার কাজর উপর কাজকর্ম চলছে","wham.whamProposedTask.title":"প্রস্তাবিত কাজ","wham.whamProposedTask.useSuggestion":"পরামর্শ ব্যবহার করুন","workspaceRootDialog.addError":"প্রোজেক্ট যোগ করা যায়নি","workspaceRootDialog.cancel":"বাতিল করুন","workspaceRootDialog.confirmAdd":"প্রোজেক্ট যোগ করুন","workspaceRootDialog.confirmPick":"প্রোজেক্ট ব্যবহার করুন","workspaceRootDialog.description":"প্রোজেক্ট হিসেবে ব্যবহার করার জন্য {host}-এ একটি পথ লিখুন।","workspaceRootDialog.pathLabel":"প্রোজেক্ট পথ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"প্রোজেক্ট পথ যোগ করুন","workspaceRootDialog.title.pick":"প্রোজেক্ট পথ বেছে নিন","worktreeInitV2.cancel":"বাতিল করুন","worktreeInitV2.notification.failedTitle":"ওয়ার্কট্রি সেটআপ করা যায়নি","worktreeInitV2.output.empty":"ফলাফলের জন্য অপেক্ষা করা হচ্ছে...","worktreeInitV2.status.error":"ওয়ার্কট্রি সেটআপ করা যায়নি।","worktreeInitV2.status.running":"ওয়ার্কট্রি তৈরি করা হচ্ছে এবং সেটআপ চালানো হচ্ছে।","worktreeInitV2.status.runningFork":"এই কথোপকথনটি ফর্ক করার জন্য একটি ওয়ার্কট্রি তৈরি করা হচ্ছে।","worktreeInitV2.status.success":"ওয়ার্কট্রি প্রস্তুত।","worktreeInitV2.title":"ওয়ার্কট্রি তৈরি করা হচ্ছে","worktreeInitV2.workLocallyInstead":"পরিবর্তে লোকাল মোডে কাজ করুন","worktreeRestoreBanner.body":"ডিস্কের জায়গা বাঁচাতে এই থ্রেডের ওয়ার্কট্রি সরানো হয়েছে","worktreeRestoreBanner.missing.body":"এই থ্রেডের কার্যকরী ডিরেক্টরি আর বিদ্যমান নেই","worktreeRestoreBanner.missing.title":"বর্তমান ওয়ার্কিং ডিরেক্টরি নেই","worktreeRestoreBanner.restore.error":"ওয়ার্কট্রি: {message} পুনরুদ্ধার করা যায়নি","worktreeRestoreBanner.restore.success":"ওয়ার্কট্রি পুনরুদ্ধার করা হয়েছে","worktreeRestoreBanner.restoreCta":"ওয়ার্কট্রি পুনরুদ্ধার করুন","worktreeRestoreBanner.title":"ওয়ার্কট্রি সাফ করা হয়েছে"};export{e as default};
+const e={"CopyButton.copyTooltip":"কপি করুন","app.sidebar.hide":"সাইডবার আড়াল করুন","app.sidebar.show":"সাইডবার দেখান","app.sidebar.tooltip":"সাইডবার টগল করুন","appHeader.installUpdate":"আপডেট করুন","appSunset.body":"অ্যাপটির এই সংস্করণটি আর সমর্থিত নয়। <here>এখান</here> থেকে সর্বশেষ সংস্করণটি ডাউনলোড করুন।","appSunset.title":"আপডেট প্রয়োজন","automation.updateDirective.create":"তৈরি করুন","automation.updateDirective.open":"খুলুন","automation.updateDirective.untitled":"শিরোনামহীন অটোমেশন","automation.updateDirective.update":"আপডেট করুন","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {#টি প্রচেষ্টা} other {#টি প্রচেষ্টা}}","cloudTaskRow.archiveError":"কাজ আর্কাইভ করা ব্যর্থ হয়েছে","code.diff.requestChange":"পরিবর্তনের অনুরোধ করুন","code.diffComment.cancel":"বাতিল করুন","code.diffComment.comment":"কমেন্ট করুন","code.diffComment.delete":"মুছুন","code.diffComment.save":"সেভ করুন","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"কোন ফলাফল রিপোর্ট করা হয়নি।","codex.alert.closeAriaLabel":"বন্ধ করুন","codex.appUpsellBanner.cbpApi.message":"Codex অ্যাপের সাহায্যে দ্রুত তৈরি করুন। এখনই বা {learnMoreLink}-এ ডাউনলোড করুন।","codex.appUpsellBanner.download":"ডাউনলোড করুন","codex.appUpsellBanner.freeGo.message":"2রা মার্চ পর্যন্ত আপনার প্ল্যানে Codex অন্তর্ভুক্ত করা হয়েছে। দ্রুত তৈরি করতে Codex অ্যাপটি ব্যবহার করে দেখুন।","codex.appUpsellBanner.later":"পরে","codex.appUpsellBanner.learnMoreLowercase":"আরও জানুন","codex.appUpsellBanner.new":"নতুন","codex.appUpsellBanner.proPlusBusiness.message":"2রা এপ্রিল পর্যন্ত 2x হার সীমা সহ Codex অ্যাপটি ব্যবহার করে দেখুন। এখনই বা {learnMoreLink}-এ ডাউনলোড করুন।","codex.appUpsellBanner.title":"Codex অ্যাপ","codex.applyDropdown.header.changes":"পরিবর্তন","codex.applyDropdown.header.fileCount":"{count, plural, one {#টি ফাইল} other {#টি ফাইল}}","codex.applyDropdown.header.rows":"সারি","codex.applyDropdown.header.title":"পরিবর্তনগুলি প্রয়োগ করুন","codex.applyDropdown.header.workspace":"প্রোজেক্ট","codex.applyDropdown.results.conflicted":"{count, plural, one {1টি ফাইলে দ্বন্দ্ব পাওয়া গেছে: } other {{count}টি ফাইলে দ্বন্দ্ব পাওয়া গেছে:}}","codex.applyDropdown.results.empty":"কোনও ফাইল কপি করা হয়নি","codex.applyDropdown.results.skipped":"{count, plural, one {1টি ফাইল বাদ দেওয়া হয়েছে:} other {{count}টি ফাইল বাদ দেওয়া হয়েছে:}}","codex.applyOrRevertBanner.apply":"প্রয়োগ করুন","codex.applyOrRevertBanner.applyMessage":"পরিবর্তনগুলি প্রয়োগ করবেন এবং স্থানীয়ভাবে চালিয়ে যাবেন?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"এই কাজটি {environment}-এ তৈরি করা হয়েছিল তাই এটি ভালোভাবে প্রয়োগ না-ও হয়ে থাকতে পারে।","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"পরিবর্তনগুলি {environment}-এ করা হয়েছিল তাই এটি ভালোভাবে প্রয়োগ না-ও হয়ে থাকতে পারে।","codex.applyOrRevertBanner.reapply":"আবার প্রয়োগ করুন","codex.applyOrRevertBanner.revert":"পূর্বাবস্থায় ফেরান","codex.applyOrRevertBanner.revertMessage":"প্রয়োগ করা পরিবর্তনগুলিকে পূর্বাবস্থায় ফেরাবেন?","codex.applyResultsDialog.applied":"ভালোভাবে প্রয়োগ করা হয়েছে ({count})","codex.applyResultsDialog.close":"বন্ধ করুন","codex.applyResultsDialog.conflicted":"দ্বন্দ্বপূর্ণ ({count})","codex.applyResultsDialog.noDetails":"ফাইলের কোনও বিবরণ পাওয়া যাচ্ছে না।","codex.applyResultsDialog.skipped":"বাদ দেওয়া হয়েছে ({count})","codex.applyResultsDialog.title":"ফলাফল প্রয়োগ করুন","codex.archiveInfo":"{dataControlsLink}-এ আর্কাইভ করা চ্যাটগুলি দেখুন","codex.archiveInfo.dataControlsLink":"ডেটা নিয়ন্ত্রণ","codex.archiveInfo.electron":"{settingsLink}-এ আর্কাইভ করা চ্যাট দেখুন","codex.archiveInfo.extension":"আপনার .codex ফোল্ডারে আর্কাইভ করা চ্যাটগুলি দেখুন।","codex.archiveInfo.settingsLink":"সেটিংস","codex.banner.content.description":"কাজগুলিকে পাশাপাশি চালান, যেকোন জায়গায় অগ্রগতি ট্র্যাক করুন এবং AI দিয়ে পুল রিকোয়েস্ট পর্যালোচনা করুন।","codex.banner.content.headline":"Codex এগুলির সবকটাই করে।","codex.cloudTaskRow.archiveTask":"কাজ আর্কাইভ করুন","codex.cloudTaskRow.confirmArchiveTask":"নিশ্চিত করুন","codex.command.feedback":"মতামত","codex.command.findInThread":"খুঁজুন","codex.command.forceReloadSkills":"জোর করে দক্ষতা পুনরায় লোড করুন","codex.command.logOut":"লগ-আউট করুন","codex.command.manageTasks":"টাস্কগুলি ব্যবস্থিত করুন","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"পিছনে","codex.command.navigateForward":"ফরোয়ার্ড","codex.command.newThread":"নতুন থ্রেড","codex.command.nextThread":"পরবর্তী থ্রেড","codex.command.openFolder":"ফোল্ডার খুলুন","codex.command.openSkills":"দক্ষতায় যান","codex.command.openThreadOverlay":"থ্রেড পপ আউট করুন","codex.command.personalitySettings":"ব্যক্তিত্ব","codex.command.previousThread":"পূর্ববর্তী থ্রেড","codex.command.settings":"সেটিংস","codex.command.toggleDiffPanel":"ডিফ প্যানেল টগল করুন","codex.command.toggleSidebar":"সাইডবার টগল করুন","codex.command.toggleTerminal":"টার্মিনাল টগল করুন","codex.commandGroup.app":"অ্যাপ","codex.commandGroup.configure":"কনফিগার করুন","codex.commandGroup.navigation":"ন্যাভিগেশন","codex.commandGroup.panels":"প্যানেল","codex.commandGroup.skills":"দক্ষতা","codex.commandGroup.thread":"থ্রেড","codex.commandGroup.workspace":"প্রোজেক্ট","codex.commandMenu.noResults":"কোনও মিল নেই","codex.commandMenu.searchPlaceholder":"কমান্ড সন্ধান করুন","codex.commandMenu.suggestedGroup":"প্রস্তাবিত","codex.commandMenu.switchWorkspace":"প্রোজেক্ট পরিবর্তন করুন","codex.commandMenu.title":"কমান্ড মেনু","codex.common.retry":"আবার চেষ্টা করুন","codex.composer.searchBranches":"ব্রাঞ্চ খুঁজুন...","codex.dialog.basic.body":"এটি আমাদের Radix Dialog-এর ওপর একটি অতিরিক্ত স্তর ব্যবহার করে তৈরি সাধারণ মোডাল ডায়ালগ।","codex.dialog.basic.cancel":"বাতিল করুন","codex.dialog.basic.confirm":"নিশ্চিত করুন","codex.dialog.basic.open":"ডায়ালগ খুলুন","codex.dialog.basic.title":"নমুনা ডায়ালগ","codex.dialog.long.close":"বন্ধ করুন","codex.dialog.long.line":"ডায়ালগের ভিতরে দীর্ঘ কন্টেন্ট প্রদর্শনের জন্য স্ক্রোলযোগ্য লাইন {index}।","codex.dialog.long.open":"দীর্ঘ ডায়ালগ খুলুন","codex.dialog.long.title":"দীর্ঘ কন্টেন্ট ডায়ালগ","codex.dialog.unstyled.body":"এই গল্পটি দেখায় কিভাবে কলাররা ডায়ালগ কন্টেন্ট স্টাইলিং সম্পূর্ণরূপে নিয়ন্ত্রণ করতে পারে।","codex.dialog.unstyled.open":"স্টাইলবিহীন ডায়ালগ খুলুন","codex.dialog.unstyled.title":"স্টাইলবিহীন কন্টেন্ট","codex.diff.openInEditorPrompt.openButton":"'এডিটর'-এ গিয়ে খুলুন","codex.diff.openInEditorPrompt.singleLine":"এই ফাইলটি এখানে দেখানোর পক্ষে খুব বড়।","codex.diffView.failedToDecodeBase64Diff":"base64 ডিফ ডিকোড করা যায়নি","codex.diffView.filesChanged":"{fileCount, plural, one {#টি ফাইল পরিবর্তন করা হয়েছে} other {#টি ফাইল পরিবর্তন করা হয়েছে}}","codex.diffView.imagePreviewAlt":"ছবির প্রিভিউ","codex.diffView.imagePreviewEmpty":"কোনও ছবি নেই","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"কোনও ডিফ ডেটা নেই","codex.diffView.pdfPreview.nextPage":"পরবর্তী পৃষ্ঠা","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"পূর্ববর্তী পৃষ্ঠা","codex.diffView.pdfPreviewEmpty":"কোনও PDF প্রিভিউ নেই","codex.diffView.pdfPreviewError":"PDF প্রিভিউ দেখানো যাচ্ছে না","codex.diffView.richPreviewDisable":"রিচ প্রিভিউ অক্ষম করুন","codex.diffView.richPreviewEnable":"রিচ প্রিভিউ সক্ষম করুন","codex.diffView.richPreviewLoading":"প্রিভিউ লোড হচ্ছে…","codex.diffView.richPreviewToggle":"রিচ প্রিভিউ টগল করুন","codex.diffView.switchToUnified":"ইউনিফাইড ডিফ-এ পাল্টান","codex.environmentSelector.noEnvironment":"কোনও এনভায়রনমেন্ট নেই","codex.environments.environmentSettings":"এনভায়রনমেন্ট সেটিংস","codex.environments.learnMore":"আরও জানুন","codex.environments.listError":"এনভায়রনমেন্ট লোড করা যায়নি","codex.environments.noEnvironmentsFound":"কোনও এনভায়রনমেন্ট পাওয়া যায়নি","codex.environments.searchError":"এনভায়রনমেন্ট সন্ধান করা যায়নি।","codex.errorBoundary.genericError":"ওহ্, একটি ত্রুটি ঘটেছে","codex.errorBoundary.goHome":"আবার চেষ্টা করুন","codex.file.patch.missing":"এই ফাইলের জন্য প্যাচ তৈরি করা যায়নি।","codex.gallery.automations.cwdLabel":"প্রোজেক্ট","codex.gallery.automations.nameLabel":"নাম","codex.gallery.automations.namePlaceholder":"একটি কাজের সারসংক্ষেপ করুন","codex.gallery.automations.promptLabel":"প্রম্পট","codex.gallery.automations.promptPlaceholder":"Codex-এর কী করা উচিত তা বর্ণনা করুন।","codex.gallery.dialogs.automation.label":"অটোমেশন ডায়ালগ","codex.gallery.dialogs.basic.body":"সহজবোধ্য নিশ্চিতকরণ বা সংক্ষিপ্ত ফর্মের জন্য এই লে-আউটটি ব্যবহার করুন।","codex.gallery.dialogs.basic.cancel":"বাতিল করুন","codex.gallery.dialogs.basic.confirm":"নিশ্চিত করুন","codex.gallery.dialogs.basic.label":"বেসিক ডায়ালগ","codex.gallery.dialogs.basic.title":"নমুনা ডায়ালগ","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"সমস্যাটি বর্ণনা করুন","codex.gallery.dialogs.feedbackSubmission.bad":"খারাপ ফলাফল","codex.gallery.dialogs.feedbackSubmission.bug":"ত্রুটি","codex.gallery.dialogs.feedbackSubmission.good":"ভালো ফলাফল","codex.gallery.dialogs.feedbackSubmission.includeLogs":"বর্তমান Codex সেশন লগ অন্তর্ভুক্ত করুন","codex.gallery.dialogs.feedbackSubmission.label":"প্রতিক্রিয়া জমা দেওয়া","codex.gallery.dialogs.feedbackSubmission.other":"অন্যান্য","codex.gallery.dialogs.feedbackSubmission.placeholder":"সমস্যাটি এখানে বর্ণনা করুন","codex.gallery.dialogs.feedbackSubmission.submit":"জমা দিন","codex.gallery.dialogs.feedbackSubmission.title":"মতামত","codex.gallery.dialogs.feedbackSuccess.body":"প্রতিক্রিয়া আপলোড করা হয়েছে। যদি সমস্যাটি থেকে যায়, তাহলে একটি GitHub সমস্যা খুলুন অথবা বিদ্যমান খোলা সমস্যায় থ্রেড id উল্লেখ করুন:","codex.gallery.dialogs.feedbackSuccess.dismiss":"খারিজ করুন","codex.gallery.dialogs.feedbackSuccess.label":"প্রতিক্রিয়া দেওয়া সফল হয়েছে","codex.gallery.dialogs.feedbackSuccess.title":"মতামত আপলোড করা হয়েছে","codex.gallery.dialogs.gitApplyResults.applied":"ভালোভাবে প্রয়োগ করা হয়েছে (2)","codex.gallery.dialogs.gitApplyResults.close":"বন্ধ করুন","codex.gallery.dialogs.gitApplyResults.conflicted":"দ্বন্দ্বপূর্ণ (1)","codex.gallery.dialogs.gitApplyResults.label":"ফলাফল প্রয়োগ করুন","codex.gallery.dialogs.gitApplyResults.title":"ফলাফল প্রয়োগ করুন","codex.gallery.dialogs.gitPushError.body":"যদি আপনি জানেন যে পুরানো ইতিহাস ওভাররাইট করা নিরাপদ, তাহলে সর্বশেষ পরিবর্তনগুলি টেনে আনুন অথবা জোর করে পুশ করুন।","codex.gallery.dialogs.gitPushError.cancel":"বাতিল করুন","codex.gallery.dialogs.gitPushError.force":"জোর করে পুশ করুন","codex.gallery.dialogs.gitPushError.label":"পুশ করায় ত্রুটি","codex.gallery.dialogs.gitPushError.subtitle":"আপনার ব্রাঞ্চটি মূল/প্রধানের পিছনে।","codex.gallery.dialogs.gitPushError.title":"পরিবর্তনগুলি পুশ করা যায়নি","codex.gallery.dialogs.gitRevert.cancel":"বাতিল করুন","codex.gallery.dialogs.gitRevert.confirm":"পূর্বাবস্থায় ফেরান","codex.gallery.dialogs.gitRevert.label":"পরিবর্তনগুলি পূর্বাবস্থায় ফেরান","codex.gallery.dialogs.gitRevert.skip":"আবার জিজ্ঞাসা করবেন না","codex.gallery.dialogs.gitRevert.subtitle":"এই অ্যাকশনটি এই সমস্ত পরিবর্তনগুলি সরিয়ে দেয়।","codex.gallery.dialogs.gitRevert.title":"পরিবর্তনগুলি ফিরিয়ে আনবেন?","codex.gallery.dialogs.longForm.label":"দীর্ঘ ফর্মের ডায়ালগ","codex.gallery.dialogs.proseModal.body":"এই মোডালটি স্টাইলটি দীর্ঘ নির্দেশাবলী, অনবোর্ডিং বা সমৃদ্ধ কন্টেন্ট ব্লকের জন্য ব্যবহৃত হয়।","codex.gallery.dialogs.proseModal.close":"বন্ধ করুন","codex.gallery.dialogs.proseModal.subtitle":"দীর্ঘ ফর্ম নির্দেশিকা বা ডকুমেন্টেশন এখানে শেয়ার করুন।","codex.gallery.dialogs.proseModal.title":"গদ্য মোডাল","codex.gallery.dialogs.submitBlocked.label":"জমা দেওয়া অবরুদ্ধ","codex.gallery.dialogs.submitBlocked.message":"প্রোজেক্টটি উপলভ্য না হওয়ার কারণে আপনার মেসেজ পাঠানো যায়নি।","codex.gallery.dialogs.submitBlocked.ok":"ঠিক আছে","codex.gallery.dialogs.submitBlocked.title":"মেসেজ পাঠানো যাচ্ছে না","codex.gallery.dialogs.title":"ডায়ালগ","codex.gallery.dropdown.filterPlaceholder":"আইটেম ফিল্টার করুন","codex.gallery.dropdowns.actionRow":"কাজের সারি","codex.gallery.dropdowns.actionRow.disabled":"অক্ষম করা কাজ","codex.gallery.dropdowns.actionRow.primary":"প্রাথমিক কাজ","codex.gallery.dropdowns.actionRow.secondary":"গৌণ কাজ","codex.gallery.dropdowns.actionRow.trigger":"কাজ দেখান","codex.gallery.dropdowns.basic":"বেসিক ড্রপডাউন","codex.gallery.dropdowns.basic.newFile":"নতুন ফাইল","codex.gallery.dropdowns.basic.newFolder":"নতুন ফোল্ডার","codex.gallery.dropdowns.basic.openSettings":"সেটিংস খুলুন","codex.gallery.dropdowns.basic.title":"দ্রুত কাজ","codex.gallery.dropdowns.basic.trigger":"মেনু খুলুন","codex.gallery.dropdowns.basic.upload":"আপলোড করুন","codex.gallery.dropdowns.panel":"প্যানেল পৃষ্ঠ","codex.gallery.dropdowns.panel.apply":"প্রয়োগ করুন","codex.gallery.dropdowns.panel.body":"পার্থক্যগুলি পর্যালোচনা করুন এবং আপনার প্রোজেক্টে প্রয়োগ করুন।","codex.gallery.dropdowns.panel.preview":"প্রিভিউ","codex.gallery.dropdowns.panel.title":"পরিবর্তনগুলি প্রয়োগ করুন","codex.gallery.dropdowns.panel.trigger":"প্যানেল খুলুন","codex.gallery.dropdowns.search":"অনুসন্ধানযোগ্য ড্রপডাউন","codex.gallery.dropdowns.search.first":"আলফা চ্যানেল","codex.gallery.dropdowns.search.second":"বিটা ব্রাঞ্চ","codex.gallery.dropdowns.search.third":"প্রার্থীকে মুক্ত করুন","codex.gallery.dropdowns.search.trigger":"আইটেম ফিল্টার করুন","codex.gallery.dropdowns.submenu":"সাবমেনুসহ ড্রপডাউন","codex.gallery.dropdowns.submenu.optionA":"প্রোজেক্ট আলফা","codex.gallery.dropdowns.submenu.optionB":"প্রোজেক্ট বিটা","codex.gallery.dropdowns.submenu.optionC":"প্রোজেক্ট গামা","codex.gallery.dropdowns.submenu.primary":"মালিক আসাইন করুন","codex.gallery.dropdowns.submenu.secondary":"এখানে সরান","codex.gallery.dropdowns.submenu.tertiary":"আর্কাইভ করুন","codex.gallery.dropdowns.submenu.trigger":"কাজ বেছে নিন","codex.gallery.dropdowns.title":"ড্রপডাউন","codex.gallery.inbox.automations.close":"বন্ধ করুন","codex.gallery.inbox.automations.popover.cardTitle":"অটোমেশন ব্যবস্থিত করুন","codex.gallery.inbox.automations.popover.dialogTitle":"অটোমেশন ব্যবস্থিত করুন","codex.header.settingsTooltip":"সেটিংস","codex.hunk.patch.error":"স্টেজ করা যায়নি","codex.hunk.patch.missing":"এই হাঙ্কের জন্য প্যাচ তৈরি করা যায়নি।","codex.hunk.patch.partialSuccess":"আংশিকভাবে সফল","codex.hunk.patch.revertError":"আনস্টেজ করা যায়নি","codex.hunk.patch.revertSuccess":"সফলভাবে আনস্টেজ করা হয়েছে","codex.hunk.patch.success":"সফলভাবে স্টেজ করা হয়েছে","codex.legal.autonomy.details":"আরও বিস্তারিত জানার জন্য, {link} দেখুন","codex.legal.autonomy.details.link":"Codex ডকুমেন্ট","codex.legal.autonomy.title":"আপনি কতটা স্বাধীনতা দিতে চান তা নির্ধারণ করুন","codex.legal.backButton":"পিছনে","codex.legal.cloud.taskOne.meta":"openai/agi · অক্টোবর 12","codex.legal.cloud.taskOne.title":"একজন নতুন ডিজাইনারকে রিপোজিটরির ব্যাখ্যা দিন","codex.legal.cloud.taskThree.meta":"openai/codex · অক্টোবর 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"একটি ডার্ক মোড থিম তৈরি করুন","codex.legal.cloud.taskTwo.meta":"openai/agi · অক্টোবর 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"একটি অনবোর্ডিং বাগ সারান","codex.legal.continue.apikey":"জারি রাখুন","codex.legal.continueButton":"পরবর্তী","codex.legal.copilot.details":"সমস্ত মডেল কল, বিলিং এবং রেট সীমার জন্য আপনার Copilot প্ল্যান ব্যবহার করে। Codex এক্সটেনশন ব্যবহার {oaiTos} ও {gitHubTos} উভয়ের উপর নির্ভর করে।","codex.legal.copilot.gitHubTosLink":"GitHub পরিষেবার শর্তাবলী","codex.legal.copilot.oaiTosLink":"OpenAI Codex পরিষেবার শর্তাবলী","codex.legal.copilot.title":"GitHub Copilot দ্বারা চালিত","codex.legal.mistakes.review":"এটি যে কোডটি লেখে এবং কমান্ডগুলি চালায় তা পর্যালোচনা করুন","codex.legal.mistakes.title":"Codex-এর ভুল হতে পারে","codex.legal.powered.details":"আপনার প্ল্যানের রেট সীমা এবং {link} ব্যবহার করে","codex.legal.powered.details.link":"প্রশিক্ষণ ডেটার পছন্দসমূহ","codex.legal.powered.title":"আপনার ChatGPT অ্যাকাউন্ট দ্বারা চালিত","codex.legal.step.cloud.subtitle":"ব্যাকগ্রাউন্ডে চালানোর জন্য Codex-এ কাজগুলিকে পাঠান যাতে আপনি মনোযোগ ধরে রাখতে পারেন এবং আরও দ্রুত এগিয়ে যেতে পারেন।","codex.legal.step.cloud.title":"ক্লাউড-ভিত্তিক Codex-এ পাঠান","codex.legal.step.intro.subtitle":"Codex আপনার রিপোজিটরিতে সরাসরি নেভিগেট করে, এডিট করে, কমান্ড চালায় এবং টেস্ট সম্পাদন করে। আপনার ChatGPT অ্যাকাউন্ট দ্বারা চালিত।","codex.legal.step.intro.title":"আপনার IDE-তে Codex","codex.legal.step.todo.subtitle":"একটি TODO মন্তব্য লিখুন এবং এক ক্লিকেই এটিকে একটি Codex টাস্কে পরিণত করুন।","codex.legal.step.todo.title":"TODO-গুলিকে Codex টাস্কে পরিণত করুন","codex.legal.todo.heading":"// TODO: implement schema","codex.localConversation.closeImagePreview":"ছবির প্রিভিউ বন্ধ করুন","codex.localConversation.userImageAttachment":"ব্যবহারকারীর সংযোজন","codex.localTaskRow.archiveTask":"থ্রেড আর্কাইভ করুন","codex.localTaskRow.awaitingApproval":"অনুমোদনের অপেক্ষায় আছে","codex.localTaskRow.awaitingResponse":"উত্তরের জন্য অপেক্ষা করছি","codex.localTaskRow.confirmArchiveTask":"নিশ্চিত করুন","codex.loggedOut.apiKeyPrompt.cancel":"বাতিল করুন","codex.loggedOut.apiKeyPrompt.confirm":"ঠিক আছে","codex.loggedOut.apiKeyPrompt.getKey":"API কি পান","codex.loggedOut.apiKeyPrompt.inputLabel":"আপনার OpenAI API কি লিখুন","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API কি ব্যবহার করে ক্লাউড কাজগুলিকে অক্ষম করা হয়েছে","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot এবং API কি ব্যবহার করে ক্লাউড কাজগুলিকে অক্ষম করা হয়েছে","codex.loggedOut.signIn":"ChatGPT দিয়ে সাইন-ইন করুন","codex.loggedOut.signIn.cancel":"সাইন-ইন বাতিল করুন","codex.loggedOut.signInWithCopilot":"GitHub Copilot দিয়ে সাইন-ইন করুন","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API কি ব্যবহার করুন","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} টুল","codex.mcpTool.collapsedLabel.verb.called":"কল করা হয়েছে","codex.mcpTool.collapsedLabel.verb.calling":"কল করা হচ্ছে","codex.mcpTool.embeddedResource.contentLabel":"কন্টেন্ট","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-এর ধরন","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"টুলটি কোনও কন্টেন্ট ফেরত দেয়নি","codex.mcpTool.rawPayloadHeading":"র {server}.{tool}টি টুল কল পেলোড","codex.menu.recent":"সাম্প্রতিক","codex.menu.seeAllHistory":"সব ইতিহাস দেখুন","codex.modelCapacityBanner.headline.noReset":"{modelName} বর্তমানে সক্ষমতার সীমায় পৌঁছে গেছে। পরে আবার চেষ্টা করুন বা অন্য মডেল দিয়ে নতুন কথোপকথন শুরু করুন।","codex.modelCapacityBanner.headline.withReset":"{modelName} বর্তমানে সক্ষমতার সীমায় পৌঁছে গেছে। {resetDate}-এর পরে আবার চেষ্টা করুন বা অন্য মডেল দিয়ে নতুন কথোপকথন শুরু করুন।","codex.modelCapacityBanner.title":"নির্বাচিত মডেলটি সক্ষমতার সীমায় পৌঁছে গেছে","codex.patch.change.contentsDeleted":"কন্টেন্ট মুছে ফেলা হয়েছে","codex.patch.change.created":"তৈরি করা হয়েছে","codex.patch.change.created-file":"ফাইল তৈরি করা হয়েছে","codex.patch.change.creating":"তৈরি করা হচ্ছে","codex.patch.change.deleted":"মুছে ফেলা হয়েছে","codex.patch.change.deleted-file":"মুছে ফেলা ফাইল","codex.patch.change.deleting":"মুছে ফেলা হচ্ছে","codex.patch.change.edited":"এডিট করা হয়েছে","codex.patch.change.edited-file":"এডিট করা ফাইল","codex.patch.change.editing":"এডিট করা হচ্ছে","codex.patch.change.noChanges":"কোনও পরিবর্তন নেই","codex.patch.change.rejected-add":"প্রত্যাখান করা হয়েছে","codex.patch.change.rejected-delete":"প্রত্যাখান করা হয়েছে","codex.patch.change.rejected-edit":"প্রত্যাখান করা হয়েছে","codex.plan.stepIndexPrefix":"{index}।","codex.plan.tasksCompletedSummary":"{total}টির মধ্যে {completed}টি কাজ সম্পূর্ণ হয়েছে","codex.plan.todoListCreated":"{total}টি কাজ দিয়ে করণীয় কাজের তালিকা তৈরি করা হয়েছে","codex.profileDropdown.apiKeyAuth":"API কি দিয়ে লগ-ইন করেছেন","codex.profileDropdown.codexSettings":"Codex সেটিংস","codex.profileDropdown.copilotAuth":"Copilot দিয়ে লগ-ইন করেছেন","codex.profileDropdown.defaultAccountTitle":"ডিফল্ট অ্যাকাউন্ট","codex.profileDropdown.enterBehavior":"দীর্ঘ প্রম্পট পাঠাতে {modifierSymbol} + এন্টার টিপুন","codex.profileDropdown.enterBehaviorError":"সেটিংস আপডেট করা যায়নি","codex.profileDropdown.getPlus":"উচ্চতর সীমার জন্য আপগ্রেড করুন","codex.profileDropdown.keyboardShortcuts":"কিবোর্ডের শর্টকাট","codex.profileDropdown.language":"ভাষা","codex.profileDropdown.languageDefault":"স্বয়ং-শনাক্ত","codex.profileDropdown.languageSearchPlaceholder":"ভাষা খুঁজুন","codex.profileDropdown.languageUpdateError":"ভাষা আপডেট করা যায়নি","codex.profileDropdown.logOut":"লগ-আউট করুন","codex.profileDropdown.mcp":"MCP সেটিংস","codex.profileDropdown.openConfigToml":"config.toml খুলুন","codex.profileDropdown.openConfigToml.wsl":"WSL এনভায়রনমেন্টে config.toml খুলুন","codex.profileDropdown.openExtensionSettings":"সেটিংস খুলুন","codex.profileDropdown.openMcpSettings":"MCP সেটিংস খুলুন","codex.profileDropdown.openOnStartup":"স্টার্টআপে খুলুন","codex.profileDropdown.openOnStartupError":"সেটিংস আপডেট করা যায়নি","codex.profileDropdown.openSkillsSettings":"দক্ষতা সেটিংস খুলুন","codex.profileDropdown.personalAccountTitle":"ব্যক্তিগত অ্যাকাউন্ট","codex.profileDropdown.queueFollowUps":"ফলো-আপগুলি কিউতে রাখুন","codex.profileDropdown.queueFollowUpsError":"সেটিংস আপডেট করা যায়নি","codex.profileDropdown.readDocs":"ডকুমেন্ট পড়ুন","codex.profileDropdown.readSkillsDocs":"ডকুমেন্ট পড়ুন","codex.profileDropdown.runInWsl":"WSL-এ চালান","codex.profileDropdown.runInWslError":"সেটিংস আপডেট করা যায়নি","codex.profileDropdown.runInWslTooltip":"WSL-এর ভেতরে Codex চালায়। উন্নত স্যান্ডবক্স সুরক্ষা এবং আরও ভাল কাজ পাবার জন্য সুপারিশ করা হয়।","codex.profileDropdown.settings":"IDE সেটিংস","codex.profileDropdown.settingsPage":"সেটিংস","codex.profileDropdown.signInWithOpenAI":"ChatGPT দিয়ে সাইন-ইন করুন","codex.profileDropdown.skills":"দক্ষতা সেটিংস","codex.profileDropdown.switchToCopilotAccount":"Copilot অ্যাকাউন্ট ব্যবহার করুন","codex.profileDropdown.switchToOpenAIAccount":"OpenAI অ্যাকাউন্ট ব্যবহার করুন","codex.profileDropdown.todoCodelens":"TODO মন্তব্যগুলির সমাধান করুন","codex.profileDropdown.todoCodelensError":"সেটিংস আপডেট করা যায়নি","codex.profileDropdown.windowsDocumentation":"Windows ডকুমেন্টেশন","codex.profileFooter.signedInFallback":"সেটিংস","codex.profileFooter.upgrade":"আপগ্রেড করুন","codex.recentTasksMenu.clearSearch":"সন্ধান সাফ করুন","codex.recentTasksMenu.cloud":"ক্লাউড-এর কাজগুলি","codex.recentTasksMenu.count":"{count, plural, =0 {কোনো কাজ চলছে না} one {#টি কাজ চলছে} other {#টি কাজ চলছে}}","codex.recentTasksMenu.empty":"এখনও কোনও থ্রেড নেই","codex.recentTasksMenu.errorCloud":"কাজগুলি লোড করা যায়নি","codex.recentTasksMenu.errorCloud.inline":"ক্লাউডের কাজগুলি লোড করা যায়নি।","codex.recentTasksMenu.filterAll":"সব","codex.recentTasksMenu.filterCloudTasks":"ক্লাউডের কাজগুলি ফিল্টার করুন","codex.recentTasksMenu.filterTooltip":"এনভায়রনমেন্ট অনুসারে কাজগুলিকে ফিল্টার করুন","codex.recentTasksMenu.local":"স্থানীয় কাজ","codex.recentTasksMenu.recent":"সব কাজ","codex.recentTasksMenu.search":"সাম্প্রতিক কাজগুলিকে খুঁজুন","codex.recentTasksMenu.searchEmpty":"কোনও ফলাফল নেই","codex.recentTasksMenu.tooltip":"কাজের ইতিহাস","codex.recentTasksMenu.trigger":"সাম্প্রতিক কাজ। {count, plural, one {#টি কাজ চলছে} other {#টি কাজ চলছে}}","codex.remoteConversation.applyDiff.applyCta":"পরিবর্তনগুলি প্রয়োগ করুন","codex.remoteConversation.applyDiff.dropdownTitle":"স্থানীয় ব্রাঞ্চে পরিবর্তনগুলি প্রয়োগ করুন","codex.remoteConversation.applyDiff.revertCta":"পরিবর্তনগুলি পূর্বাবস্থায় ফেরান","codex.remoteConversation.closeImagePreview":"ছবির প্রিভিউ বন্ধ করুন","codex.remoteConversation.codexCloudTask":"আপনি একটি <u>Codex ক্লাউড</u>-এর কাজ দেখছেন","codex.remoteConversation.errorWithMessage":"ত্রুটি: {message}","codex.remoteConversation.loadingImage":"ছবি লোড হচ্ছে","codex.remoteConversation.openInWeb":"ওয়েবে খুলুন","codex.remoteConversation.streaming":"শুরু হচ্ছে","codex.remoteConversation.turnFailed":"এই কাজটি চলাকালীন একটি ত্রুটি ঘটেছে","codex.remoteConversation.turnTab.loading":"প্রচেষ্টা {number}","codex.remoteConversation.turnTab.title":"প্রচেষ্টা {number}","codex.remoteConversation.userImageAttachment":"ব্যবহারকারীর সংযোজন","codex.remoteConversation.viewPreviousTurns":"ওয়েবে খুলুন","codex.remoteConversation.viewPreviousTurns.buttonText":"খুলুন","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ওয়েবে খুলুন","codex.review.copyGitApplyCommand":"git প্রয়োগ করার কমান্ড কপি করুন","codex.review.copyGitApplyCommand.toast":"ক্লিপবোর্ডে git apply কমান্ডটি কপি করা হয়েছে","codex.review.diffTooLarge.description":"এই পার্থক্যটি রিভিউতে দেখানোর জন্য খুব বড়।","codex.review.diffTooLarge.title":"পার্থক্যটি দেখানোর জন্য খুব বড়","codex.review.expandOrCollapseDiffButton.collapse":"সব পার্থক্য সঙ্কুচিত করুন","codex.review.expandOrCollapseDiffButton.expand":"সব পার্থক্য প্রসারিত করুন","codex.review.expandOrCollapseDiffMenu.collapse":"সব পার্থক্য সঙ্কুচিত করুন","codex.review.expandOrCollapseDiffMenu.expand":"সব পার্থক্য প্রসারিত করুন","codex.review.fileSearch.clear":"ফিল্টার সাফ করুন","codex.review.fileSearch.empty":"বর্তমান ফিল্টারের সাথে কোনও ফাইল মিলছে না।","codex.review.fileSearch.label":"ফাইল ফিল্টার করুন","codex.review.fileSearch.placeholder":"ফাইল ফিল্টার করুন...","codex.review.filesChanged":"{num, plural, =0 {কোনও ফাইল পরিবর্তন করা হয়নি} one {# টি ফাইল পরিবর্তন করা হয়েছে} other {#টি ফাইল পরিবর্তন করা হয়েছে}}","codex.review.find.loadMore":"আরও মিল লোড করুন","codex.review.fullReview.hideFileTree":"ফাইল ট্রি আড়াল করুন","codex.review.fullReview.showFileTree":"ফাইল ট্রি দেখান","codex.review.header.moreOptions":"পর্যালোচনা করার বিকল্পগুলি","codex.review.largeDiff.banner":"বড় ধরনের পার্থক্য শনাক্ত করা হয়েছে — একবারে একটি ফাইল দেখানো হচ্ছে।","codex.review.loadFullFiles.disable":"সম্পূর্ণ ফাইল লোড করবেন না","codex.review.loadFullFiles.enable":"সম্পূর্ণ ফাইল লোড করুন","codex.review.noDiff":"ফাইলের পরিবর্তনগুলি এখানে দেখা যাবে","codex.review.noDiff.gitInit.createRepository":"git রিপোজিটরি তৈরি করুন","codex.review.noDiff.gitInit.creating":"তৈরি করা হচ্ছে...","codex.review.noDiff.gitInit.error":"Git শুরু ব্যর্থ হয়েছে: {message}","codex.review.noDiff.gitInit.success":"গিট রিপোজিটরি তৈরি করা হয়েছে","codex.review.noDiff.gitRepoRequired.description":"এই প্রোজেক্টের পরিবর্তনগুলি ট্র্যাক করুন এবং পূর্বাবস্থায় ফেরান","codex.review.noDiff.gitRepoRequired.title":"git রিপোজিটরি তৈরি করুন","codex.review.noDiff.orNoLongerAvailable":"অথবা সর্বশেষ পার্থক্যগুলি আর উপলভ্য নেই","codex.review.noDiff.reverted":"শেষ পালাটি ফিরিয়ে আনা হয়েছ","codex.review.noDiff.revertedOrCommitted":"শেষ পালাটি হয় প্রত্যাবর্তন করা হয়েছে অথবা অঙ্গীকার করা হয়েছে","codex.review.refreshGitQueries":"রিফ্রেশ করুন","codex.review.revert.file.error":"{path} পূর্বাবস্থায় ফেরানো যায়নি","codex.review.revert.file.partialSuccess":"{path} আংশিকভাবে পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revert.file.success":"{path} পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revert.hunk.error":"হাঙ্ক {hunkNumber} {path}-এ পূর্বাবস্থায় ফেরানো যায়নি","codex.review.revert.hunk.partialSuccess":"হাঙ্ক {hunkNumber} {path}-এ আংশিকভাবে পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revert.hunk.success":"হাঙ্ক {hunkNumber} {path}-এ পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revert.section.error":"বিভাগ পূর্বাবস্থায় ফেরানো যায়নি","codex.review.revert.section.partialSuccess":"বিভাগ আংশিকভাবে পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revert.section.success":"বিভাগ পূর্বাবস্থায় ফেরানো হয়েছে","codex.review.revertDialog.cancel":"বাতিল করুন","codex.review.revertDialog.confirm":"নিশ্চিত করুন","codex.review.revertDialog.message":"এই অ্যাকশনটি এই সমস্ত পরিবর্তনগুলি সরিয়ে দেয়।","codex.review.revertDialog.skip":"আবার জিজ্ঞাসা করবেন না","codex.review.revertDialog.title":"পরিবর্তনগুলি ফিরিয়ে আনবেন?","codex.review.richPreview.disable":"রিচ প্রিভিউ অক্ষম করুন","codex.review.richPreview.enable":"রিচ প্রিভিউ সক্ষম করুন","codex.review.source.cloud":"ক্লাউড পরিবর্তন","codex.review.source.local.all":"সব ব্রাঞ্চ পরিবর্তন","codex.review.source.local.lastTurn":"শেষ টার্নের পরিবর্তন","codex.review.source.local.uncommitted":"অঙ্গীকার না করা পরিবর্তনগুলি","codex.review.source.worktree":"কমিট না করা ওয়ার্কট্রি পরিবর্তন","codex.review.stageFilter.empty.staged.description":"এডিটগুলি স্টেজ করার জন্য স্বীকার করুন","codex.review.stageFilter.empty.staged.title":"কোনও স্টেজ করা পরিবর্তন নেই","codex.review.stageFilter.empty.unstaged.description":"কোড পরিবর্তনগুলি এখানে দেখানো হবে","codex.review.stageFilter.empty.unstaged.title":"কোনও স্টেজ না করা পরিবর্তন নেই","codex.review.stageFilter.staged":"স্টেজ করা হয়েছে","codex.review.stageFilter.staged.count":"স্টেজ করা হয়েছে · {count}","codex.review.stageFilter.unstaged":"আনস্টেজ করা হয়েছে","codex.review.stageFilter.unstaged.count":"আনস্টেজ করা হয়েছে · {count}","codex.review.switchToSplit":"স্প্লিট ডিফ মোডে যান","codex.review.switchToUnified":"ইউনিফাইড ডিফ-এ পাল্টান","codex.review.toggleDiffView":"ডিফ ভিউ টগল করুন","codex.review.wordDiffs.disable":"ওয়ার্ড ডিফ অক্ষম করুন","codex.review.wordDiffs.enable":"ওয়ার্ড ডিফ সক্ষম করুন","codex.review.wrap.disable":"ওয়ার্ড র‍্যাপ অক্ষম করুন","codex.review.wrap.enable":"ওয়ার্ড র‍্যাপ সক্ষম করুন","codex.section.patch.missing":"এই বিভাগের জন্য প্যাচ তৈরি করা যায়নি।","codex.shell.collapse":"শেলটি সঙ্কুচিত করুন","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"শেল কন্টেন্ট কপি করা হয়েছে","codex.shell.copy.copyTooltip":"শেল কন্টেন্ট কপি করুন","codex.shell.copyCommand":"কমান্ড কপি করুন","codex.shell.copyOutput":"আউটপুট কপি করুন","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"ব্যাশ","codex.shell.expand":"শেল প্রসারিত করুন","codex.shell.name":"শেল","codex.shell.noOutput":"কোনও আউটপুট নেই","codex.signInFailed.message":"সাইন-ইন করা যায়নি: {rawMessage}","codex.stories.toast.show":"টোস্ট দেখান","codex.stories.tooltip.basic":"এটি একটি টুলটিপ","codex.stories.tooltip.hoverMe":"আমার উপর কার্সর ঘোরান","codex.stories.tooltip.largerOffset":"এই টুলটিপের অফসেট তুলনায় বেশি বড়","codex.stories.tooltip.offsetButton":"বেশি বড় অফসেট","codex.stories.tooltip.shortcutButton":"শর্টকাটের মাধ্যমে","codex.stories.tooltip.withShortcut":"টার্মিনাল টগল করুন","codex.taskRow.title":"নতুন থ্রেড","codex.taskRowLayout.confirm":"নিশ্চিত করুন","codex.threadFindBar.chatFilter":"চ্যাট সন্ধান করুন","codex.threadFindBar.close":"খোঁজ বন্ধ করুন","codex.threadFindBar.diffFilter":"অনুসন্ধানের পার্থক্য","codex.threadFindBar.label":"থ্রেডে খুঁজুন","codex.threadFindBar.nextResult":"পরবর্তী ফলাফল","codex.threadFindBar.noResults":"0 ফলাফল","codex.threadFindBar.placeholder":"থ্রেড সন্ধান করুন…","codex.threadFindBar.placeholder.extension":"থ্রেড সন্ধান করুন…","codex.threadFindBar.placeholder.review":"অনুসন্ধানের পার্থক্য","codex.threadFindBar.placeholder.review.extension":"অনুসন্ধানের পার্থক্য","codex.threadFindBar.previousResult":"পূর্ববর্তী ফলাফল","codex.todoPlan.stepIndexPrefix":"{index}।","codex.ui.bulletSeparator":"।","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# টি ফাইল পরিবর্তন করা হয়েছে} other {#টি ফাইল পরিবর্তন করা হয়েছে}}","codex.unifiedDiff.inlineLargeFile":"ইনলাইন রেন্ডার করার পক্ষে খুব বড়","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"পূর্বাবস্থায় ফেরান","codex.unifiedDiff.revertPatchError":"পরিবর্তনগুলি পূর্বাবস্থায় ফেরানো যায়নি","codex.unifiedDiff.revertPatchSuccess":"পরিবর্তনগুলি পূর্বাবস্থায় ফেরানো হয়েছে","codex.unifiedDiff.reviewChangesSuffix":"পরিবর্তন","codex.unifiedDiff.reviewShort":"পর্যালোচনা করুন","codex.unifiedDiff.viewDiffTooltip":"পর্যালোচনা করুন","codex.upsellBanner.business.headline":"এখনই আরও ব্যবহারের সুযোগ পেতে, আপনার অ্যাডমিনকে একটি অনুরোধ পাঠান, অথবা {resetDate} পর্যন্ত অপেক্ষা করুন।","codex.upsellBanner.cbp.headline":"এখন আরও ব্যবহারের সুযোগ পেতে, আপনার অ্যাডমিনের কাছে একটি অনুরোধ পাঠান।","codex.upsellBanner.cta.addCredits":"ক্রেডিট যোগ করুন","codex.upsellBanner.cta.upgradeAccount":"আপগ্রেড করুন","codex.upsellBanner.cta.viewUsage":"ব্যবহার দেখুন","codex.upsellBanner.freeOrGo.headline":"আপনার হারের সীমা {resetDate}-এ রিসেট করা হবে। Codex-এর ব্যবহার চালিয়ে যেতে, আজই Plus-এ আপগ্রেড করুন।","codex.upsellBanner.general.headline":"আপনার হারের সীমা {resetDate}-এ রিসেট করা হবে।","codex.upsellBanner.general.title":"আপনি Codex মেসেজের সীমায় পৌঁছে গেছেন","codex.upsellBanner.plus.headline":"আপনার হারের সীমা {resetDate}-এ রিসেট করা হবে। Codex-এর ব্যবহার চালিয়ে যেতে, আজই ক্রেডিট যোগ করুন অথবা Pro-তে আপগ্রেড করুন।","codex.upsellBanner.pro.headline":"আপনার হারের সীমা {resetDate}-এ রিসেট করা হবে। Codex-এর ব্যবহার চালিয়ে যেতে এখনই ক্রেডিট যোগ করুন।","codex.userMessage.autoResolveSync":"স্বয়ংক্রিয়ভাবে দ্বন্দ্ব সমাধান করুন","codex.userMessage.commentCount":"{count, plural, one {#টি মন্তব্য} other {#টি মন্তব্য}}","codex.userMessage.copiedAriaLabel":"কপি করা হয়েছে","codex.userMessage.copiedTooltip":"কপি করা হয়েছে","codex.userMessage.copyAriaLabel":"মেসেজ কপি করুন","codex.userMessage.copyTooltip":"কপি করুন","codex.userMessage.implementPlan":"পরিকল্পনা বাস্তবায়িত করুন","codex.userMessage.noContent":"(কোনও কন্টেন্ট নেই)","codex.userMessage.priorConversation":"পূর্ববর্তী কথোপকথনের তথ্যসূত্র","codex.userMessage.reviewMode":"পর্যালোচনা মোড","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} -এর জন্য","codex.webSearch.summary.verb.completed":"ওয়েবে সন্ধান করা হয়েছে","codex.webSearch.summary.verb.inProgress":"ওয়েবে সন্ধান করা হচ্ছে","codex.windowsInstallWslBanner.dismiss":"খারিজ করুন","codex.windowsInstallWslBanner.installWslCta":"স্যান্ডবক্স সক্ষম করুন","codex.windowsInstallWslBanner.learnMore":"আরও জানুন","codex.windowsSandboxBanner.content":"ফাইল সিস্টেম এবং নেটওয়ার্কের ব্যবহার সীমিত করতে এজেন্ট মোড Windows-এ একটি পরীক্ষামূলক স্যান্ডবক্স ব্যবহার করে। {sandboxLink}","codex.windowsSandboxBanner.title":"এজেন্ট মোডের জন্য স্যান্ডবক্স সক্ষম করুন","codex.windowsSubDropdown.windowsSandbox":"Windows স্যান্ডবক্স","codex.windowsSubDropdown.windowsSettings":"Windows সেটিংস","codexUpgradeModal.body":"Codex এখন আমাদের সর্বশেষ অত্যাধুনিক এজেন্টভিত্তিক কোডিং মডেল GPT-5.2-Codex দ্বারা চালিত হয়। কোডিংয়ের ক্ষেত্রে এটি {link}; এটি GPT-5.2-এর ওপর আরও উন্নতি এনেছে।","codexUpgradeModal.close":"বন্ধ করুন","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"আরও বেশি স্মার্ট এবং দ্রুত","codexUpgradeModal.title":"Codex-এ কিছু আপগ্রেড করা হয়েছে","codexUpgradeModal.tryNewModel":"এখনই GPT-5.2-Codex ব্যবহার করে দেখুন","codexUpgradeModal.useExistingModel":"বর্তমান মডেলটি দিয়ে চালিয়ে যান","commentAttachments.numComments":"{count, plural, one {#টি মন্তব্য} other {#টি মন্তব্য}}","commentAttachments.removeAriaLabel":"মন্তব্য সংযোজন সরান","common.close":"বন্ধ করুন","composer.addContext.openFilePickerError":"ফাইল পিকার খোলা যাচ্ছে না","composer.addContextDropdown.ariaLabel":"ফাইল এবং আরও অনেক কিছু যোগ করুন","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ফাইল এবং আরও অনেক কিছু যোগ করুন","composer.addPhotosAndFiles":"ছবি এবং ফাইল যোগ করুন","composer.atMentionList.emptyQuery":"ফাইল খুঁজতে টাইপ করুন","composer.atMentionList.loading":"খোঁজা হচ্ছে...","composer.atMentionList.noResults":"কোনও ফলাফল নেই","composer.attemptsSelector.option":"{count, plural, one {#টি সংস্করণ} other {#টি সংস্করণ}}","composer.attemptsSelector.tooltip":"Codex পাশাপাশি যতগুলি প্রচেষ্টা চালাবে, সেই সংখ্যা","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"থামুন","composer.cloudFollowUp.cloud":"ক্লাউড","composer.cloudFollowUp.local":"লোকাল","composer.cloudFollowUp.whereRun":"এই ফলো-আপ কোথায় চালানো উচিত?","composer.cloudTaskCreationError":"ক্লাউডের কাজ তৈরি করার সময় ত্রুটি হয়েছে","composer.cloudTaskError":"কাজ তৈরি করার সময় ত্রুটি হয়েছে","composer.contextWindow.autoCompactionTooltipLine1":"Codex স্বয়ংক্রিয়ভাবে এটির প্রসঙ্গ সংকুচিত করে","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"প্রসঙ্গ উইন্ডো:","composer.contextWindowUsageStatusFull":"{usage}% ভরে গেছে","composer.contextWindowUsageStatusLeft":"{usage}% ব্যবহৃত ({remaining}% খালি)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k টোকেন ব্যবহৃত হয়েছে","composer.customCliTooltip":"একটি কাস্টম CLI এগজিকিউটেবল ব্যবহার করা হচ্ছে","composer.dictation.aria":"ডিকটেশন দিন","composer.dictation.cancel.aria":"ডিক্টেশন বন্ধ করুন","composer.dictation.cancel.tooltip":"ডিক্টেশন বন্ধ করুন","composer.dictation.startError":"ডিকটেশন শুরু করা যায়নি","composer.dictation.submit.aria":"ট্রান্সক্রাইব করে পাঠান","composer.dictation.submit.tooltip":"ট্রান্সক্রাইব করে পাঠান","composer.dictation.tooltip":"ডিক্টেট করার জন্য ধরে রাখুন","composer.dictation.transcribeError":"অডিও ট্রান্সক্রাইব করা যাচ্ছে না","composer.dictation.unsupported":"এই ডিভাইসে ডিকটেশন উপলভ্য নেই","composer.dropOverlay.holdShift":"টেনে এনে ফেলার জন্য {key} ধরে রাখুন","composer.dropOverlay.shiftKey":"শিফ্ট","composer.environmentSelector.createNew":"নতুন তৈরি করুন","composer.environmentSelector.error":"এনভায়রনমেন্ট লোড করার সময় ত্রুটি হয়েছে","composer.environmentSelector.goBack":"কম্পোজারে ফিরে যান","composer.environmentSelector.title":"এনভায়রনমেন্ট নির্বাচন করুন","composer.environmentSelector.tooltip":"একটি ক্লাউড এনভায়রনমেন্ট নির্বাচন করুন","composer.feedbackSlashCommand.title":"মতামত","composer.filePicker.selectFile":"একটি ফাইল নির্বাচন করুন","composer.filePicker.selectFiles":"ফাইল নির্বাচন করুন","composer.followerTooltip":"চালিয়ে যাওয়ার জন্য, যে উইন্ডোতে এই কথোপকথনটি শুরু হয়েছিল সেখানে ফিরে যান।","composer.footer.branchSwitch.checkoutError":"ব্রাঞ্চ: {message} পরিবর্তন করা যায়নি","composer.footer.branchSwitch.createAndCheckout":"নতুন ব্রাঞ্চ তৈরি করুন এবং তাতে যান…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"পরিবর্তনগুলো কমিট করে একটি নতুন ব্রাঞ্চ তৈরি করুন এবং তাতে যান","composer.footer.branchSwitch.createBranchError":"ব্রাঞ্চ: {message} তৈরি করা যায়নি","composer.footer.branchSwitch.createDialog.ariaLabel":"ব্রাঞ্চের নাম","composer.footer.branchSwitch.createDialog.branchExistsError":"ব্রাঞ্চটি ইতিমধ্যেই আছে।","composer.footer.branchSwitch.createDialog.close":"বন্ধ করুন","composer.footer.branchSwitch.createDialog.createAndCheckout":"তৈরি করুন এবং তাতে যান","composer.footer.branchSwitch.createDialog.placeholder":"নতুন-ব্রাঞ্চ","composer.footer.branchSwitch.createDialog.title":"ব্রাঞ্চ তৈরি করুন এবং তাতে যান","composer.footer.branchSwitch.createDialog.trailingSlashError":"ব্রাঞ্চের নাম “/” দিয়ে শেষ করা যাবে না।","composer.footer.branchSwitch.tooltip":"ব্রাঞ্চ পরিবর্তন করুন","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} চেক আউট করার জন্য {fileCount, plural, one {#টি ফাইল} other {#টি ফাইল}}-এর পরিবর্তনগুলি কমিট করুন।","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"কমিট করুন","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} চেক আউট করার জন্য {fileCount, plural, one {#টি ফাইল} other {#টি ফাইল}}-এর পরিবর্তন।","composer.footer.branchSwitch.uncommittedDialog.cancel":"বাতিল করুন","composer.footer.branchSwitch.uncommittedDialog.commit":"ব্রাঞ্চ কমিট করুন এবং পরিবর্তন করুন...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"নিম্নলিখিত ফাইলগুলিতে আপনার করা পরিবর্তনগুলি এই চেকআউটের মাধ্যমে ওভাররাইট করা হবে:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"চালিয়ে যেতে আপনার পরিবর্তনগুলি কমিট করুন","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"নির্বাচিত ব্রাঞ্চ","composer.footer.branchSwitch.uncommittedDialog.title":"ব্রাঞ্চ পরিবর্তনের জন্য পরিবর্তনগুলি কমিট করুন","composer.footer.branchSwitch.uncommittedSummaryPrefix":"কমিট না করা: {fileCount, plural, one {#টি ফাইল} other {#টি ফাইল}}","composer.forkSlashCommand.description":"এই থ্রেডটি লোকাল অথবা একটি নতুন ওয়ার্কট্রিতে ফর্ক করুন","composer.forkSlashCommand.option.local.description":"একটি নতুন লোকাল থ্রেডে চালিয়ে যান","composer.forkSlashCommand.option.local.title":"লোকাল-এ ফর্ক করুন","composer.forkSlashCommand.option.worktree.description":"একটি নতুন ওয়ার্কট্রিতে চালিয়ে যান","composer.forkSlashCommand.option.worktree.title":"নতুন ওয়ার্কট্রিতে ফর্ক করুন","composer.forkSlashCommand.title":"ফর্ক করুন","composer.imageInputsUnsupported":"এই মডেলটি ছবি ইনপুট সমর্থন করে না। অন্য একটি মডেল ব্যবহার করে দেখুন।","composer.imageUploadFailed":"ছবি আপলোড করা যায়নি","composer.includeIdeContextDropdown":"IDE প্রসঙ্গ অন্তর্ভুক্ত করুন","composer.includeIdeContextDropdown.ariaLabel":"IDE প্রসঙ্গ অন্তর্ভুক্ত করুন","composer.localCwdDropdown.addWorkspaceRoot":"নতুন প্রোজেক্ট যোগ করুন","composer.localCwdDropdown.noActiveRoot":"আপনার প্রোজেক্ট নির্বাচন করুন","composer.localCwdDropdown.noResults":"কোনও ফোল্ডার পাওয়া যায়নি","composer.localCwdDropdown.title":"আপনার প্রোজেক্ট নির্বাচন করুন","composer.localTaskError":"কথোপকথন শুরু করার সময় ত্রুটি হয়েছে","composer.mcpSlashCommand.description":"MCP সার্ভারের স্ট্যাটাস দেখান","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"প্রমাণীকরণ করা হয়নি","composer.mcpStatus.authOauth":"প্রমাণীকরণ করা হয়েছে (OAuth)","composer.mcpStatus.authToken":"প্রমাণীকরণ করা হয়েছে (API কি)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"বন্ধ করুন","composer.mcpStatus.disabled":"অক্ষম করা হয়েছে","composer.mcpStatus.emptyLabel":"সার্ভার:","composer.mcpStatus.emptyValue":"কোনও MCP সার্ভার কনফিগার করা নেই","composer.mcpStatus.enabled":"সক্ষম করা হয়েছে","composer.mcpStatus.errorLabel":"স্টেটাস","composer.mcpStatus.errorValue":"MCP স্টেটাস লোড করা যাচ্ছে না","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"এজেন্ট","composer.mode.agentMode.auto.dropdownLabel":"এজেন্ট","composer.mode.agentMode.auto.optionLabel":"এজেন্ট","composer.mode.agentMode.changePermission":"মডেল বদল করুন","composer.mode.agentMode.custom":"কাস্টম","composer.mode.agentMode.custom.dropdownLabel":"কাস্টম","composer.mode.agentMode.custom.option":"কাস্টম (config.toml)","composer.mode.agentMode.custom.optionLabel":"কাস্টম (config.toml)","composer.mode.agentMode.customInfo.cancel":"বাতিল করুন","composer.mode.agentMode.customInfo.cli":"আপনি CLI থেকে অথবা সরাসরি ফাইল এডিট করে এই সেটিংসগুলিতে ফেরবদল করতে পারেন।","composer.mode.agentMode.customInfo.confirm":"কাস্টম মোড ব্যবহার করুন","composer.mode.agentMode.customInfo.description":"কাস্টম মোড আপনার <link>config.tomll</link> ফাইলে নির্দিষ্ট করে দেওয়া অনুমোদন ও স্যান্ডবক্স বিষয়ক নীতিগুলিকে প্রয়োগ করে।","composer.mode.agentMode.customInfo.docs":"<link>এগজিউশন এনভায়রনমেন্ট ডকুমেন্টে</link> অনুমোদন এবং স্যান্ডবক্স নীতি কনফিগার করার বিষয়ে আরও জানুন।","composer.mode.agentMode.customInfo.refresh":"পরের বার এজেন্ট চলার সময় যেকোন পরিবর্তন কার্যকর হবে।","composer.mode.agentMode.customInfo.title":"কাস্টম মোড কীভাবে কাজ করে","composer.mode.agentMode.fullAccess":"এজেন্ট (সম্পূর্ণ ব্যবহার)","composer.mode.agentMode.fullAccess.dropdownLabel":"এজেন্ট (সম্পূর্ণ ব্যবহার)","composer.mode.agentMode.fullAccess.optionLabel":"এজেন্ট (সম্পূর্ণ ব্যবহার)","composer.mode.agentMode.fullAccessConfirm.caution":"সম্পূর্ণ ব্যবহার সক্ষম করার সময় সাবধানতা অবলম্বন করুন। এটি ডেটা হারানো, ফাঁস বা অপ্রত্যাশিত আচরণের ঝুঁকি উল্লেখযোগ্যভাবে বৃদ্ধি করে।","composer.mode.agentMode.fullAccessConfirm.confirm":"হ্যাঁ, যাইহোক জারি রাখুন","composer.mode.agentMode.fullAccessConfirm.description":"যখন Codex সম্পূর্ণ ব্যবহারসহ সাথে চলে, তখন এটি আপনার কম্পিউটারের যেকোন ফাইল এডিট করতে পারে এবং আপনার অনুমোদন ছাড়াই নেটওয়ার্কের মাধ্যমে কমান্ড চালাতে পারে।","composer.mode.agentMode.fullAccessConfirm.goBack":"বাতিল করুন","composer.mode.agentMode.fullAccessConfirm.title":"সম্পূর্ণ ব্যবহার চালু করবেন?","composer.mode.agentMode.readOnly":"চ্যাট","composer.mode.agentMode.readOnly.dropdownLabel":"চ্যাট","composer.mode.agentMode.readOnly.optionLabel":"চ্যাট","composer.mode.agentMode.tooltip":"মডেল বদল করুন","composer.mode.agentMode.tooltip.auto":"ফাইলগুলি পড়ুন এবং এডিট করুন, এবং কমান্ড চালান।","composer.mode.agentMode.tooltip.custom":"config.toml-এ বর্ণিত সর্বশেষ অনুমোদন এবং স্যান্ডবক্স নীতি ব্যবহার করুন।","composer.mode.agentMode.tooltip.fullAccess":"Codex প্রোজেক্টের বাইরের ফাইল এডিট করতে পারে এবং নেটওয়ার্ক ব্যবহারসহ কমান্ড চালাতে পারে। ব্যবহারের সময় সতর্কতা অবলম্বন করুন।","composer.mode.agentMode.tooltip.readOnly":"ফাইল এডিট করা এবং কমান্ড চালানোর জন্য অনুমোদনের প্রয়োজন।","composer.mode.cloud.tooltip":"একটি ক্লাউড এনভায়রনমেন্টে কাজ করুন","composer.mode.contactAdmin":"আরও ব্যবহারের সুযোগ পেতে, আপনার অ্যাডমিনের সাথে যোগাযোগ করুন","composer.mode.local":"স্থানীয়","composer.mode.local.learnMore":"আরও জানুন","composer.mode.local.model.custom":"কাস্টম","composer.mode.local.model.loadingModel":"মডেল লোড করা হচ্ছে","composer.mode.local.model.selecrReasoningEffort":"যুক্তিপ্রয়োগ নির্বাচন করুন","composer.mode.local.model.selectModel":"মডেল নির্বাচন করুন","composer.mode.local.model.tooltip":"মডেল বেছে নিন","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"বেশি","composer.mode.local.reasoning.low.label":"কম","composer.mode.local.reasoning.medium.label":"মাঝারি","composer.mode.local.reasoning.minimal.label":"ন্যূনতম","composer.mode.local.reasoning.none.label":"কোনটিই নয়","composer.mode.local.reasoning.xhigh.label":"অতিরিক্ত বেশি","composer.mode.localRemoteWhereRun":"কোথায় কাজ চালাবেন তা নির্বাচন করুন","composer.mode.newTask.header":"নিম্নোক্তে জারি রাখুন","composer.mode.rateLimit.day":"{days}প্রতি দিন","composer.mode.rateLimit.heading":"বাকি থাকা রেটের সীমা","composer.mode.rateLimit.hour":"{hours}প্রতি ঘণ্টা","composer.mode.rateLimit.minute":"{minutes}প্রতি মিনিট","composer.mode.rateLimit.modelSectionLabel":"{modelName} সীমা:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {সাপ্তাহিক সীমা} other {{weeks} সাপ্তাহিক সীমা}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {সাপ্তাহিক} other {{weeks} সপ্তাহ}}","composer.mode.remote.connectToCloud":"Codex ওয়েব সংযুক্ত করুন","composer.mode.remote.connectToCloudDisabledTooltip":"ক্লাউডে টাস্ক পাঠানো সক্ষম করার জন্য Codex ওয়েবের মাধ্যমে একটি এনভায়রনমেন্ট সেট আপ করুন","composer.mode.remote.selectEnvironment":"এনভায়রনমেন্ট নির্বাচন করুন","composer.mode.remote.sendToCloud":"ক্লাউডে পাঠান","composer.mode.remote.setupViaWeb":"Codex ওয়েবের মাধ্যমে একটি এনভায়রনমেন্ট সেট-আপ করুন","composer.mode.runInCloud":"ক্লাউড","composer.mode.runInCloudWithEnvironment":"ক্লাউড· {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ক্লাউড এনভায়রনমেন্টে কাজ করুন","composer.mode.segmentedToggle.local.tooltip":"আপনার লোকাল প্রোজেক্টে কাজ করুন","composer.mode.segmentedToggle.worktree.tooltip":"একটি সমান্তরাল ওয়ার্কট্রিতে কাজ করুন","composer.mode.upgradeToPlus":"Plus-এ আপগ্রেড করুন","composer.mode.upgradeToPro":"Pro-তে আপগ্রেড করুন","composer.mode.workLocally":"লোকাল প্রোজেক্ট","composer.mode.workLocally.currentBranchFallback":"আপনার ব্রাঞ্চ","composer.mode.workLocally.tooltip":"{branchName}-এ কাজ করুন","composer.mode.worktree":"নতুন ওয়ার্কট্রি","composer.mode.worktree.submoduleWarning":"এই রিপোজিটরিতে git সাবমডিউল রয়েছে। ওয়ার্কট্রি তৈরি ব্যর্থ হতে পারে","composer.mode.worktree.tooltip":"সমান্তরালভাবে কাজ করার জন্য আপনার লোকাল প্রোজেক্টের একটি কপি তৈরি করুন","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"কথোপকথনের মাঝখানে মডেল পরিবর্তন করলে কর্মক্ষমতা হ্রাস পাবে।","composer.newChat.heading.browser":"এর পরে আমরা কী কোডিং করব?","composer.permissionsDropdown.custom.label":"কাস্টম (config.toml)","composer.permissionsDropdown.custom.optionLabel":"কাস্টম (config.toml)","composer.permissionsDropdown.default.label":"ডিফল্ট অনুমতি","composer.permissionsDropdown.default.optionLabel":"ডিফল্ট অনুমতি","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml দ্বারা পূর্ণাঙ্গ ব্যবহার অক্ষম করা হয়েছে","composer.permissionsDropdown.trigger.tooltip":"অনুমতি পরিবর্তন করুন","composer.personalitySlashCommand.description.friendly":"উষ্ণ, সহযোগী এবং সহায়ক","composer.personalitySlashCommand.description.pragmatic":"সংক্ষিপ্ত, কাজ-কেন্দ্রিক এবং সরাসরি","composer.personalitySlashCommand.label.friendly":"বন্ধুত্বপূর্ণ","composer.personalitySlashCommand.label.pragmatic":"বাস্তববাদী","composer.personalitySlashCommand.notApplicableSuffix":"(বর্তমান মডেলের ক্ষেত্রে প্রযোজ্য নয়)","composer.personalitySlashCommand.title":"ব্যক্তিত্ব","composer.placeholder.cloudFollowUp.directFollowUp":"এই ক্লাউড টাস্কের ফলো-আপ","composer.placeholder.cloudFollowUp.local":"এই ক্লাউড টাস্কটি উল্লেখ করে এমন একটি নতুন স্থানীয় টাস্ক তৈরি করুন","composer.placeholder.cloudFollowUp.workingTree":"একটি নতুন ক্লাউড টাস্ক তৈরি করুন যাতে আপনার বর্তমান কোড থাকবে এবং এই টাস্কটির উল্লেখ থাকবে।","composer.placeholder.localFollowUp.cloud":"একটি নতুন ক্লাউড টাস্কের ফলো-আপ","composer.placeholder.localFollowUp.locally":"পরবর্তী পরিবর্তনের জন্য অনুরোধ করুন","composer.placeholder.newTask.cloud":"Codex-কে ক্লাউডে যেকোনও কিছু করতে বলুন","composer.placeholder.newTask.doAnything":"Codex-কে যেকোন কিছু করতে বলুন","composer.placeholder.newTask.locally":"Codex-কে যে কোন কিছু জিজ্ঞাসা করুন, ফাইল যোগ করতে, / কমান্ডের জন্য @ ব্যবহার করুন","composer.planModeDropdown":"পরিকল্পনা মোড","composer.planModeDropdown.ariaLabel":"পরিকল্পনা মোড","composer.planModeIndicator":"প্ল্যান","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"পরিকল্পনা মোড বন্ধ করুন","composer.planSlashCommand.enableDescription":"পরিকল্পনা মোড চালু করুন","composer.planSlashCommand.title":"পরিকল্পনা মোড","composer.priorContext.label":"পূর্ববর্তী প্রসঙ্গ","composer.priorContext.removeAriaLabel":"পূর্ববর্তী প্রসঙ্গটি সরান","composer.queuedMessage.delete":"অপেক্ষায় থাকা মেসেজ মুছুন","composer.queuedMessage.edit":"মেসেজ এডিট করুন","composer.queuedMessage.more":"অপেক্ষায় থাকা মেসেজ অ্যাকশন","composer.queuedMessage.sendNow":"এখন পাঠান","composer.queuedMessage.turnOff":"অপেক্ষায় রাখা বন্ধ করুন","composer.reasoningEffort.local.reasoning.tooltip":"যুক্তিপ্রয়োগের প্রচেষ্টা নির্বাচন করুন","composer.remote.branchStartingPoint":"এই কাজটি কোন ব্রাঞ্চ থেকে শুরু করা উচিত?","composer.remote.branchesSectionHeading":"শাখা","composer.remote.currentEditsSuffix.followUp":"এই ক্লাউড টাস্কটির উল্লেখ করে এমন একটি নতুন কাজ তৈরি করুন।","composer.remote.currentEditsSuffix.useLocal":"স্থানীয় কোড পরিবর্তনের সাথে","composer.remote.directFollowUp":"স্থানীয় পরিবর্তন ব্যবহার করবেন না","composer.remote.errorLoadingBranches":"ব্রাঞ্চ লোড করার সময় ত্রুটি হয়েছে","composer.remote.fromBranch":"{branch} থেকে","composer.remote.fromCurrentBranch":"{branch} থেকে (বর্তমান)","composer.remote.loadingMoreBranches":"লোড হচ্ছে...","composer.remote.localFileStateHeading":"স্থানীয় ফাইলের অবস্থা","composer.remote.localWorkingTree":"স্থানীয় পরিবর্তনগুলি ব্যবহার করুন","composer.remote.startingPoint":"এই টাস্কটি কোন কোড থেকে শুরু করা উচিত?","composer.reviewMode.branches.error":"শাখা লোড করা যাচ্ছে না","composer.reviewMode.branches.retry":"আবার চেষ্টা করুন","composer.reviewMode.gitRoot.error":"Git রুট পাওয়া যায়নি","composer.reviewMode.option.baseBranch.simple":"মূল শাখার সঙ্গে তুলনা করে পর্যালোচনা করুন","composer.reviewMode.option.unstaged.simple":"অঙ্গীকার না করা পরিবর্তনগুলি পর্যালোচনা করুন","composer.reviewMode.quickReviewError":"কোড পর্যালোচনা শুরু করা যায়নি।","composer.reviewMode.title":"কোড পর্যালোচনা","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml দ্বারা পূর্ণাঙ্গ ব্যবহার অক্ষম করা হয়েছে","composer.sandboxButton.windowsSandboxDialog.content":"ফাইল সিস্টেম এবং নেটওয়ার্ক ব্যবহার সীমিত করতে Windows-এ Codex একটি পরীক্ষামূলক স্যান্ডবক্স ব্যবহার করতে পারে। {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows স্যান্ডবক্স সক্ষম করবেন?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"শুধুমাত্র পড়ার জন্য","composer.searchEnvironments":"এনভায়রনমেন্ট খুঁজুন","composer.skillMentionList.app":"অ্যাপ","composer.skillMentionList.loading":"দক্ষতা লোড হচ্ছে...","composer.skillMentionList.noResults":"কোনও দক্ষতা পাওয়া যায়নি","composer.slashCommands.cloudEnvironment.title":"ক্লাউড এনভায়রনমেন্ট","composer.slashCommands.dialogLabel":"স্ল্যাশ কমান্ড মেনু","composer.slashCommands.dialogTitle":"স্ল্যাশ কমান্ড","composer.slashCommands.disabledTooltip":"স্ল্যাশ কমান্ড ব্যবহার করার জন্য একটি নতুন কথোপকথন শুরু করুন","composer.slashCommands.inputPlaceholder":"খুঁজুন","composer.slashCommands.noResults":"কোনও কমান্ড নেই","composer.slashCommands.skillsGroup":"দক্ষতা","composer.slashCommands.tooltip":"স্ল্যাশ কমান্ড ব্রাউজ করুন","composer.status.close":"বন্ধ করুন","composer.statusPlain.alertLabel":"সতর্কীকরণ:","composer.statusPlain.alertValue":"{window}-এর {remaining}% বাকি আছে","composer.statusPlain.contextLabel":"প্রসঙ্গ:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ব্যবহার করা হয়েছে / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% বাকি আছে","composer.statusPlain.heading":"স্টেটাস","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} সীমা:","composer.statusPlain.rateLimitDays":"{count} দিন সীমা","composer.statusPlain.rateLimitFallbackLabel":"হারের সীমা:","composer.statusPlain.rateLimitHours":"{count} ঘণ্টা সীমা","composer.statusPlain.rateLimitLabelBase":"হারের সীমা","composer.statusPlain.rateLimitMinutes":"{count} মিনিট সীমা","composer.statusPlain.rateLimitPercent":"{remaining}% বাকি আছে","composer.statusPlain.rateLimitReset":"{time}-এ রিসেট করে","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"রিসেট করার সময় উপলভ্য নয়","composer.statusPlain.rateLimitUnavailable":"উপলভ্য নয়","composer.statusPlain.sessionCopiedAriaLabel":"সেশন ID কপি করা হয়েছে","composer.statusPlain.sessionCopiedTooltip":"ID কপি করা হয়েছে","composer.statusPlain.sessionCopyAriaLabel":"সেশন কপি করা হয়েছে","composer.statusPlain.sessionCopyTooltip":"ID কপি করুন","composer.statusPlain.sessionLabel":"সেশন:","composer.statusSlashCommand.description":"থ্রেড ID, প্রসঙ্গ ব্যবহার এবং হারের সীমা দেখান","composer.statusSlashCommand.title":"স্টেটাস","composer.submit.blockedDialogOk":"ঠিক আছে","composer.submit.blockedDialogTitle":"মেসেজ পাঠানো যাচ্ছে না","composer.submit.emptyMessage":"শুরু করতে একটি মেসেজ লিখুন","composer.submit.imageInputsUnsupported":"এই মেসেজটি পাঠানোর জন্য ছবিগুলি সরিয়ে ফেলুন অথবা মডেল পরিবর্তন করুন।","composer.submit.loadingLocalConfig":"লোড হচ্ছে...","composer.submit.missingCloudConfig":"আপনাকে অবশ্যই একটি ক্লাউড এনভায়রনমেন্ট বেছে নিতে হবে","composer.submit.missingCloudTurn":"এই কাজটি নিয়ে আর অগ্রসর হওয়া যাবে না","composer.submit.noWorkspace":"Codex ব্যবহার করার জন্য একটি প্রোজেক্ট যোগ করুন","composer.submit.waitForImageUploads":"ছবি আপলোড করা হচ্ছে...","composer.submitButtonTooltip.send":"পাঠান","composer.submitButtonTooltip.stop":"থামুন","composer.worktreeEnvironment.create":"লোকাল এনভায়রনমেন্ট তৈরি করুন","composer.worktreeEnvironment.default":"ডিফল্ট এনভায়রনমেন্ট","composer.worktreeEnvironment.error":"এনভায়রনমেন্ট লোড করার সময় ত্রুটি হয়েছে","composer.worktreeEnvironment.loading":"এনভায়রনমেন্ট লোড করা হচ্ছে…","composer.worktreeEnvironment.title":"লোকাল এনভায়রনমেন্ট","composer.worktreeEnvironment.tooltip":"একটি লোকাল এনভায়রনমেন্ট নির্বাচন করুন","composer.worktreeSetupFailed":"ওয়ার্কট্রি সেটআপ ব্যর্থ হয়েছে। সেটআপ স্ক্রিপ্টের জন্য .codex/environments দেখুন।","compoundButton.secondaryAction":"গৌণ পদক্ষেপ","copyButton.copied":"কপি করা হয়েছে","copyButton.copiedAriaLabel":"কপি করা হয়েছে","copyButton.copy":"কপি করুন","copyButton.copyAriaLabel":"কপি করুন","copyButton.copyCode":"কোড কপি করুন","diff.actionButton.revertFile":"ফাইলটি ফিরিয়ে আনুন","diff.actionButton.revertHunk":"পূর্বাবস্থায় ফেরান","diff.actionButton.revertSection":"সবকটি ফিরিয়ে আনুন","diff.actionButton.revertSectionLabel":"সবকটি ফিরিয়ে আনুন","diff.actionButton.stageFile":"ফাইল স্টেজ করুন","diff.actionButton.stageHunk":"স্টেজ করুন","diff.actionButton.stageSection":"সব স্টেজ করুন","diff.actionButton.stageSectionLabel":"সব স্টেজ করুন","diff.actionButton.unstageFile":"ফাইল আনস্টেজ করুন","diff.actionButton.unstageHunk":"আনস্টেজ করুন","diff.actionButton.unstageSection":"সব আনস্টেজ করুন","diff.actionButton.unstageSectionLabel":"সব আনস্টেজ করুন","diff.fileHeader.toggle":"ফাইলের পার্থক্য টগল করুন","electron.onboarding.login.apikey.cancel":"বাতিল করুন","electron.onboarding.login.apikey.continue":"জারি রাখুন","electron.onboarding.login.apikey.label":"OpenAI API কি","electron.onboarding.login.apikey.open":"API কি লিখুন","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"সাইন-ইন বাতিল করুন","electron.onboarding.login.chatgpt.continue":"ChatGPT দিয়ে জারি রাখুন","electron.onboarding.login.devbox":"একটি দূরবর্তী SSH-এর সাথে সংযোগ করুন","electron.onboarding.login.error":"সাইন-ইন করা যায়নি: {rawMessage}","electron.onboarding.login.snake.start":"Snake চালান","electron.onboarding.login.sshConfig.cancel":"বাতিল করুন","electron.onboarding.login.sshConfig.continue":"জারি রাখুন","electron.onboarding.login.sshConfig.hostnameLabel":"SSH হোস্টনেম","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"এজেন্টের সাথে নির্মাণের সেরা উপায়","electron.onboarding.login.title":"Codex-এ স্বাগতম।","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"জারি রাখুন","electron.onboarding.welcome.doubleLimits.description":"Codex অ্যাপ লঞ্চ উদযাপনের জন্য, আপনার কাছে 2 এপ্রিল পর্যন্ত 2× হার সীমা রয়েছে।","electron.onboarding.welcome.freego.description":"Codex আপনার প্ল্যানে 2রা মার্চ পর্যন্ত বিনামূল্যে অন্তর্ভুক্ত করা হয়েছে – আসুন একসাথে তৈরি শুরু করি।","electron.onboarding.welcome.new.title.anon":"স্বাগতম!","electron.onboarding.workspace.continue":"জারি রাখুন","electron.onboarding.workspace.empty":"চালিয়ে যেতে একটি প্রোজেক্ট যোগ করুন।","electron.onboarding.workspace.listLabel":"উপলভ্য প্রোজেক্ট","electron.onboarding.workspace.loading":"প্রোজেক্ট লোড হচ্ছে…","electron.onboarding.workspace.openFolder":"প্রোজেক্ট যোগ করুন","electron.onboarding.workspace.selectAll":"সব নির্বাচন করুন","electron.onboarding.workspace.skip":"ছেড়ে যান","electron.onboarding.workspace.skip.error":"নতুন প্রোজেক্ট তৈরি করা যায়নি: {message}","electron.onboarding.workspace.skip.error.unknown":"অজানা ত্রুটি","electron.onboarding.workspace.skipping":"একটি নতুন প্রোজেক্ট তৈরি করা হচ্ছে...","electron.onboarding.workspace.subtitle":"Codex নির্বাচিত ফোল্ডারগুলিতে ফাইল এডিট করতে এবং কমান্ড চালাতে সক্ষম হবে।","electron.onboarding.workspace.title":"একটি প্রোজেক্ট নির্বাচন করুন","errorPage.list.checkSettings":"আপনার IDE সেটিংস আপডেট করার চেষ্টা করুন","errorPage.list.configToml":"আপনার config.toml-এ অবৈধ সেটিংস আছে কিনা তা দেখুন","errorPage.list.downloadExtension":"এক্সটেনশনের একটি ভিন্ন সংস্করণ ডাউনলোড করার চেষ্টা করুন","errorPage.list.runInWsl":"যদি আপনার সামঞ্জসের সমস্যা দেখা দেয়, তাহলে WSL-এ চালানো বন্ধ করতে আপনার সেটিংস পরীক্ষা করুন","execApprovalRequest.menu.runAlways":"হ্যাঁ, এবং এই সেশনে আর জিজ্ঞাসা করবেন না।","execApprovalRequest.menu.runAlwaysWithAmendment":"হ্যাঁ, এবং আবার এমন কমান্ড চাইবেন না যা শুরু হয় {command} দিয়ে","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"হ্যাঁ, এবং আবার এমন কমান্ড চাইবেন না যা শুরু হয়","execApprovalRequest.menu.runOnce":"হ্যাঁ","execApprovalRequest.prompt":"আপনি কি এই কমান্ডটি চালাতে চান?","execApprovalRequest.reject":"না","execFooter.exitCode":"প্রস্থান কোড {code}","execFooter.exitCode.unknown":"অজানা","execFooter.success":"সফল হয়েছে","feedback.dialog.category.badResult":"খারাপ ফলাফল","feedback.dialog.category.bug":"ত্রুটি","feedback.dialog.category.goodResult":"ভালো ফলাফল","feedback.dialog.category.other":"অন্যান্য","feedback.dialog.descriptionPlaceholder":"সমস্যাটি এখানে বর্ণনা করুন","feedback.dialog.dismiss":"খারিজ করুন","feedback.dialog.includeLogsLabel":"বর্তমান Codex সেশন লগ অন্তর্ভুক্ত করুন","feedback.dialog.submit":"জমা দিন","feedback.dialog.submitError":"আমরা আপনার মতামত জমা দিতে পারিনি। কিছুক্ষণের মধ্যে আবার চেষ্টা করুন।","feedback.dialog.title":"মতামত","feedback.dialog.uploadedMessage.existingIssue":"সমস্যাটি আগে থেকেই খোলা আছে","feedback.dialog.uploadedMessage.openIssue":"GitHub সমস্যা খুলুন","feedback.dialog.uploadedMessage.withThread":"মতামত আপলোড করা হয়েছে। যদি সমস্যাটি থেকে যায়, তাহলে {openIssueLink} অথবা {existingIssueLink}-এ থ্রেড ID উল্লেখ করুন:","feedback.dialog.uploadedTitle":"মতামত আপলোড করা হয়েছে","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} সরান","header.back":"পিছনে","header.recentChats":"কাজ","header.recentTasks.seeAll":"সব দেখুন ({total})","home.header.getPlus":"Plus পান","home.hero.letsBuild":"আসুন তৈরি করি","homePage.mainContent":"মূল কন্টেন্ট","imageAttachment.defaultName":"ছবি","imageAttachment.preview.close":"ছবির প্রিভিউ বন্ধ করুন","imageAttachment.removeAriaLabel":"{filename} সরান","implementPlanRequest.option.implement":"হ্যাঁ, এই পরিকল্পনাটি বাস্তবায়িত করুন","implementPlanRequest.prompt":"এই পরিকল্পনা বাস্তবায়ন করবেন?","inbox.archived.deleteError":"আর্কাইভ করা রান মুছে ফেলা যায়নি","inbox.archived.deleteRun":"আর্কাইভ করা রান মুছুন","inbox.archived.deleteSuccess":"আর্কাইভ করা থ্রেডটি মুছে ফেলা হয়েছে। <settingsLink>আর্কাইভ করা থ্রেড</settingsLink>-এ দেখুন।","inbox.archived.inlineLabel.auto":"এই থ্রেডটি স্বয়ংক্রিয়ভাবে আর্কাইভ করা হয়েছে। <learnMoreLink>আরও জানুন</learnMoreLink>","inbox.archived.inlineLabel.manual":"এই থ্রেডটি আর্কাইভ করা হয়েছে।","inbox.archived.noMessageFound":"কোন মেসেজ পাওয়া যায়নি","inbox.automations.createError":"অটোমেশন তৈরি করা যায়নি","inbox.automations.deleteConfirm.cancel":"বাতিল করুন","inbox.automations.deleteConfirm.confirm":"অটোমেশন মুছে ফেলবেন?","inbox.automations.deleteConfirm.description":"এটি অটোমেশন স্থায়ীভাবে মুছে ফেলবে এবং ভবিষ্যতে যে কোনও রান বন্ধ করে দেবে।","inbox.automations.deleteConfirm.title":"{name} মুছবেন?","inbox.automations.deleteError":"অটোমেশন মুছে ফেলা যায়নি","inbox.automations.editTooltip":"অটোমেশন এডিট করুন","inbox.automations.inProgress":"কাজ চলছে","inbox.automations.new":"নতুন","inbox.automations.newToolbar":"নতুন অটোমেশন","inbox.automations.pauseTooltip":"অটোমেশন সাময়িকভাবে বন্ধ করুন","inbox.automations.resumeTooltip":"অটোমেশন পুনরায় শুরু করুন","inbox.automations.startingNow":"এখন শুরু হচ্ছে","inbox.automations.startsIn":"{startTime}-এর মধ্যে শুরু হবে","inbox.automations.status.active":"সক্রিয়","inbox.automations.status.paused":"থামানো হয়েছে","inbox.automations.status.runs":"{count}টি রান","inbox.automations.status.started":"{date} শুরু হয়েছে","inbox.automations.updateError":"অটোমেশন আপডেট করা যায়নি","inbox.automations.workspaceFallback":"-","inbox.filter.all":"সব","inbox.filter.ariaLabel":"ইনবক্স আইটেম ফিল্টার করুন","inbox.filter.unread":"না-পড়া","inbox.list.archived":"আর্কাইভ করা হয়েছে","inbox.list.inProgress":"কাজ চলছে","inbox.list.recent":"সম্পূর্ণ হয়েছে","inbox.list.upNext":"সময়সূচি নির্ধারণ করা হয়েছে","inbox.mode.automations":"অটোমেশন","inbox.mode.automations.beta":"বিটা","inbox.noDescription":"কোনও বিবরণ দেওয়া হয়নি","inbox.openThread":"থ্রেড খুলুন","inbox.rightPanel.emptySubtitle":"নির্ধারিত কাজ সেট আপ করে কাজ স্বয়ংক্রিয় করুন","inbox.rightPanel.emptySubtitle.learnMore":"নির্ধারিত থ্রেড সেট আপ করে কাজ স্বয়ংক্রিয় করুন। <link>আরও জানুন</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {#টি সক্রিয় অটোমেশন} other {#টি সক্রিয় অটোমেশন}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"কোনও না-পড়া অটোমেশন নেই","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {#টি না-পড়া অটোমেশন} other {#টি না-পড়া অটোমেশন}}","inbox.rightPanel.emptyTitle":"কোনও আইটেম নির্বাচন করা হয়নি","inbox.rightPanel.noThread":"এই আইটেমের জন্য কোনও থ্রেড নেই","inbox.rightPanel.quickStart.header":"একটি টেমপ্লেট দিয়ে শুরু করুন","inbox.untitled":"শিরোনামবিহীন ইনবক্স আইটেম","loadingPage.documentationLink":"ডকুমেন্টেশন","loadingPage.errorDescription":"Codex নিম্নলিখিত ত্রুটির সাথে ক্র্যাশ করেছে:","loadingPage.errorDescription.documentation":"Codex এক্সটেনশনটি আবার চালু করতে ‘আবার লোড করুন’-এ ক্লিক করুন, অথবা অতিরিক্ত সহায়তার জন্য আমাদের {documentationLink} দেখুন।","loadingPage.errorSignal":"যা ব্যবহার করে দেখা যেতে পারে:","loadingPage.errorTitle":"একটি ত্রুটি ঘটেছে","loadingPage.openConfigToml":"config.toml খুলুন","loadingPage.reload":"আবার লোড করুন","localConversation.contextCompacted":"প্রসঙ্গ স্বয়ংক্রিয়ভাবে সংকুচিত হয়েছে","localConversation.contextCompacting":"প্রসঙ্গ স্বয়ংক্রিয়ভাবে সংকুচিত করা হচ্ছে","localConversation.forkedFromConversation":"{threadTitle} থেকে ফর্ক করা হয়েছে","localConversation.merge.autoResolve.failed":"স্বয়ংক্রিয় সমাধানের অনুরোধ করা যায়নি: {error}","localConversation.merge.autoResolve.sent":"স্বয়ংক্রিয় সমাধানের অনুরোধ পাঠানো হয়েছে","localConversation.merge.autoResolveMerge.missingConversation":"কোন সক্রিয় কথোপকথন ছাড়া স্বয়ংক্রিয়ভাবে সমাধান করা যাচ্ছে না।","localConversation.merge.autoResolveMerge.request":"মার্জ করার দ্বন্দ্বগুলি স্বয়ংক্রিয়ভাবে সমাধান করুন","localConversation.modelChanged":"মডেলটি {fromModel} থেকে {toModel}-এ পরিবর্তিত হয়েছে।","localConversation.modelChanged.warning.line1":"কথোপকথনের মাঝখানে মডেল পরিবর্তন করলে কর্মক্ষমতা হ্রাস পাবে।","localConversation.modelChanged.warning.line2":"প্রসঙ্গ স্বয়ংক্রিয়ভাবে সংকুচিত হতে পারে।","localConversation.moveThread.createBranch.label":"ব্রাঞ্চ তৈরি করুন","localConversation.moveToLocal.disabled.loading":"লোড হচ্ছে...","localConversation.moveToLocal.modal.continue":"জারি রাখুন","localConversation.moveToLocal.modal.destinationLabel":"এখানে সরান","localConversation.moveToLocal.modal.retry":"আবার চেষ্টা করুন","localConversation.moveToWorktree.modal.back":"পিছনে","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ব্রাঞ্চটি ইতিমধ্যেই আছে।","localConversation.moveToWorktree.modal.branchesError":"শাখা লোড করা যাচ্ছে না","localConversation.moveToWorktree.modal.branchesLoading":"ব্রাঞ্চ লোড করা হচ্ছে...","localConversation.moveToWorktree.modal.branchesRetry":"আবার চেষ্টা করুন","localConversation.moveToWorktree.modal.continue":"জারি রাখুন","localConversation.moveToWorktree.modal.retry":"আবার চেষ্টা করুন","localConversation.moveToWorktree.modal.trailingSlashError":"ব্রাঞ্চের নাম “/” দিয়ে শেষ করা যাবে না।","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"নতুন-ব্রাঞ্চ","localConversation.personalityChanged":"{personality} ব্যক্তিত্বে বদল করা হয়েছে","localConversation.planSummary.collapse":"প্ল্যানের সারাংশ সঙ্কুচিত করুন","localConversation.planSummary.collapseTooltip":"সঙ্কুচিত করুন","localConversation.planSummary.download":"প্ল্যান ডাউনলোড করুন","localConversation.planSummary.expand":"প্ল্যানের সারাংশ প্রসারিত করুন","localConversation.planSummary.expandTooltip":"প্রসারিত করুন","localConversation.planSummary.openInNewWindow":"খুলুন","localConversation.planSummary.openInNewWindow.tooltip":"নতুন উইন্ডোতে খুলুন","localConversation.planSummary.title":"প্ল্যান","localConversation.planSummary.titleWriting":"পরিকল্পনা লেখা হচ্ছে","localConversation.planSummary.viewPlan":"প্ল্যানটি প্রসারিত করুন","localConversation.remoteTaskCreated":"Codex ক্লাউডে {taskLink} তৈরি করা হয়েছে","localConversation.remoteTaskCreated.task":"কাজ","localConversation.scrollToBottomButton":"নিচে স্ক্রোল করুন","localConversation.sync.buttonLabel":"স্থানীয়দের কাছে হস্তান্তর করুন","localConversation.sync.buttonLabel.tooltip":"এই ওয়ার্কট্রি এবং আপনার লোকাল চেকআউটের মধ্যে পরিবর্তনগুলি হস্তান্তর করুন।","localConversation.sync.modal.loading.title":"পরিবর্তনগুলি হস্তান্তর করা হচ্ছে...","localConversation.sync.modal.noChanges":"কোনও পরিবর্তন নেই","localConversation.syncSetup.branchAriaLabel":"ব্রাঞ্চের নাম","localConversation.syncSetup.branchName":"ব্রাঞ্চের নাম","localConversation.syncSetup.branchPlaceholder.existing":"বিদ্যমান শাখা নির্বাচন করুন","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ব্রাঞ্চ লোড করা হচ্ছে...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ইতিমধ্যেই চেক-আউট করা হয়েছে","localConversation.syncSetup.checkoutClean":"বর্তমানে {branchName}-এ চালু আছে","localConversation.syncSetup.checkoutDirty":"বর্তমানে কমিট না করা পরিবর্তনগুলিসহ {branchName}-এ চালু আছে","localConversation.syncSetup.checkoutError":"ব্রাঞ্চ চেক আউট করা যায়নি: {message}","localConversation.syncSetup.checkoutLabel":"এখনই স্থানীয়ভাবে দেখুন","localConversation.syncSetup.checkoutOnLocal":"স্থানীয়দের কাছে হস্তান্তর করুন","localConversation.syncSetup.checkoutPending":"লোকাল স্টেটাস পরীক্ষা করা হচ্ছে…","localConversation.syncSetup.checkoutUnavailable":"স্থানীয় ওয়ার্কস্পেস উপলভ্য নয়","localConversation.syncSetup.checkoutUnknown":"স্থানীয় ব্রাঞ্চ উপলভ্য নয়","localConversation.syncSetup.continue":"জারি রাখুন","localConversation.syncSetup.createBranchError":"স্থানান্তর ব্রাঞ্চ সেট করতে ব্যর্থ: {message}","localConversation.syncSetup.error":"কিছু ভুল হয়েছে: {message}","localConversation.syncSetup.error.workingTreeMissing":"ওয়ার্কট্রির স্ন্যাপশট নেওয়া যাচ্ছে না। আবার স্থানান্তর করার চেষ্টা করুন।","localConversation.syncSetup.mode.ariaLabel":"ব্রাঞ্চ মোড নির্বাচন করুন","localConversation.syncSetup.mode.existing":"বিদ্যমান ব্রাঞ্চ","localConversation.syncSetup.mode.new":"নতুন ব্রাঞ্চ","localConversation.syncSetup.noBranches":"কোনও ব্রাঞ্চ পাওয়া যায়নি","localConversation.syncSetup.overwriteError":"ব্রাঞ্চ তৈরি করা হয়েছে কিন্তু সম্পূর্ণরূপে স্থানান্তর করা হয়নি। স্থানীয়ভাবে চেক আউট করার আগে ম্যানুয়ালি স্থানান্তর করুন।","localConversation.syncSetup.setPrefix":"প্রিফিক্স সেট করুন","localConversation.syncSetup.subtitle":"লোকাল রিপোজিটরিতে ওয়ার্কট্রি পরিবর্তনগুলি পরীক্ষা করুন এবং এডিট করুন। <a>আরও জানুন</a>","localConversation.syncSetup.success.checkedOut":"ব্রাঞ্চ তৈরি করা হয়েছে এবং স্থানীয়ভাবে চেক-আউট করা হয়েছে","localConversation.syncSetup.success.notCheckedOut":"ব্রাঞ্চ তৈরি করা হয়েছে","localConversation.syncSetup.title":"একটি লোকাল ব্রাঞ্চে স্থানান্তর করুন","localConversation.syncWorktreeError.branchAriaLabel":"ব্রাঞ্চের নাম","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"স্থানান্তর করার জন্য একটি ব্রাঞ্চ বেছে নিন, তারপর পরিবর্তনগুলি আবার লোড করার চেষ্টা করুন।","localConversation.syncWorktreeError.branchSetup.title":"ব্রাঞ্চ আপডেট করুন","localConversation.syncWorktreeError.branchUpdate.cta":"আপডেট করে আবার চেষ্টা করুন","localConversation.syncWorktreeError.branchUpdate.error":"ব্রাঞ্চ আপডেট করতে ব্যর্থ: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"কিছু ভুল হয়েছে: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"কোনও ওয়ার্কট্রিতে ব্রাঞ্চ চেক আউট করা হয় না।","localConversation.syncWorktreeV2.applyUncommitted":"প্রয়োগ করুন","localConversation.syncWorktreeV2.applyUncommitted.disabled":"কমিট না করা পরিবর্তনগুলি প্রয়োগ করতে আপনাকে অবশ্যই স্থানীয়ভাবে ব্রাঞ্চটি পরীক্ষা করতে হবে","localConversation.syncWorktreeV2.branches.empty":"কোনও ব্রাঞ্চ পাওয়া যায়নি","localConversation.syncWorktreeV2.branches.loading":"ব্রাঞ্চ লোড করা হচ্ছে...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"স্থানান্তর ব্রাঞ্চ পরিবর্তন করুন","localConversation.syncWorktreeV2.changeBranch.error":"স্থানান্তর ব্রাঞ্চ পরিবর্তন করতে ব্যর্থ: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"আবেদন করা যায়নি","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"ওয়ার্কট্রি ওভাররাইট করা যায়নি","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"লোকাল ওভাররাইট করা যায়নি","localConversation.syncWorktreeV2.commandError.back":"পিছনে","localConversation.syncWorktreeV2.commandError.body":"স্থানান্তর করার সময় একটি git কমান্ড ব্যর্থ হয়েছে। আউটপুট পর্যালোচনা করুন এবং পুনরায় চেষ্টা করুন।","localConversation.syncWorktreeV2.commandError.retry":"আবার চেষ্টা করুন","localConversation.syncWorktreeV2.description":"স্থানীয় এবং এই ওয়ার্কট্রির মধ্যে পরিবর্তনগুলি স্থানান্তর করুন <a>আরও জানুন</a>।","localConversation.syncWorktreeV2.direction.ariaLabel":"স্থানান্তরের দিক নির্বাচন করুন","localConversation.syncWorktreeV2.error.generic":"স্থানান্তরের সময় কিছু সমস্যা হয়েছে। আবার চেষ্টা করুন।","localConversation.syncWorktreeV2.localBranchLabel":"স্থানীয়","localConversation.syncWorktreeV2.noChanges":"পরিবর্তন গণনা করা হচ্ছে","localConversation.syncWorktreeV2.noChanges.summary":"কোনও পরিবর্তন নেই","localConversation.syncWorktreeV2.overwrite.local":"স্থানীয় ওভাররাইট করুন","localConversation.syncWorktreeV2.overwrite.worktree":"ওয়ার্কট্রি ওভাররাইট করুন","localConversation.syncWorktreeV2.partial.action.applyFailed":"পরিবর্তনগুলি প্রয়োগ করা যায়নি","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"স্থানীয় পরিবর্তনগুলি ওভাররাইট করা যায়নি","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ওয়ার্কট্রি পরিবর্তনগুলি ওভাররাইট করা যায়নি","localConversation.syncWorktreeV2.partial.appliedLabel":"প্রয়োগ করা হয়েছে","localConversation.syncWorktreeV2.partial.back":"পিছনে","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"দ্বন্দ্ব সমাধান করুন এবং আবার চেষ্টা করুন।","localConversation.syncWorktreeV2.partial.conflictsLabel":"দ্বন্দ্ব","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {#টি ফাইল} other {#টি ফাইল}}","localConversation.syncWorktreeV2.partial.retry":"আবার চেষ্টা করুন","localConversation.syncWorktreeV2.partial.skippedLabel":"ছেড়ে যাওয়া হয়েছে","localConversation.syncWorktreeV2.stateFailed.generic":"ওয়ার্কট্রি পরিবর্তনগুলি স্থানান্তরের জন্য আনার সময় কিছু সমস্যা হয়েছে। আবার চেষ্টা করুন।","localConversation.syncWorktreeV2.stateFailed.title":"ওয়ার্কট্রি পরিবর্তনগুলি লোড করা যায়নি","localConversation.syncWorktreeV2.statusError.diffUnknown":"ওয়ার্কট্রি পরিবর্তনগুলি লোড করা যায়নি।","localConversation.syncWorktreeV2.statusError.retry":"আবার চেষ্টা করুন","localConversation.syncWorktreeV2.statusError.title":"স্থানীয় ব্রাঞ্চের পরিবর্তনগুলি লোড করা যাচ্ছে না","localConversation.syncWorktreeV2.statusError.unknown":"ব্রাঞ্চ স্টেটাস এই মুহূর্তে উপলভ্য নয়। আবার চেষ্টা করুন।","localConversation.syncWorktreeV2.success.apply":"পরিবর্তনগুলি সফলভাবে প্রয়োগ করা হয়েছে","localConversation.syncWorktreeV2.success.overwrite":"স্থানান্তর সফল হয়েছে","localConversation.syncWorktreeV2.title":"পরিবর্তনগুলি স্থানান্তর করুন","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"{count, plural, one {প্রশ্ন} other {প্রশ্ন}} জানতে চাওয়া হচ্ছে","localConversation.userInputRequest.noAnswer":"কোনও উত্তর দেওয়া হয়নি","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"জিজ্ঞাসা করা হয়েছে","localConversation.userInputRequest.summary.count":"{count, plural, one {#টি প্রশ্ন} other {#টি প্রশ্ন}}","localConversation.workedFor":"{time}-এর জন্য কাজ করেছে","localConversation.worktreeBranchSetup.action.create":"তৈরি করুন","localConversation.worktreeBranchSetup.branchAriaLabel":"ব্রাঞ্চের নাম","localConversation.worktreeBranchSetup.branchPlaceholder.new":"নতুন ব্রাঞ্চ তৈরি করুন","localConversation.worktreeBranchSetup.checkoutDisabled":"এই ব্রাঞ্চটি ইতিমধ্যেই {location}-এ চেক আউট করা হয়েছে","localConversation.worktreeBranchSetup.checkoutError":"ব্রাঞ্চ চেক আউট করা যায়নি: {message}","localConversation.worktreeBranchSetup.createBranchError":"ব্রাঞ্চ সেট করতে ব্যর্থ: {message}","localConversation.worktreeBranchSetup.error":"কিছু ভুল হয়েছে: {message}","localConversation.worktreeBranchSetup.subtitle":"পরিবর্তনগুলি কমিট করতে, পুশ করতে এবং এই ওয়ার্কট্রি থেকে একটি পুল রিকোয়েস্ট তৈরি করতে একটি ব্রাঞ্চ তৈরি করুন। <a>আরও জানুন</a>","localConversation.worktreeBranchSetup.title":"এখানে কাজ করুন","localConversationPage.addWorktreeToSidebar.tooltip":"এই ওয়ার্কট্রি থেকে নতুন থ্রেড শুরু করার জন্য একটি প্রোজেক্ট হিসেবে সেভ করুন","localConversationPage.addWorktreeToSidebarError":"প্রোজেক্ট যোগ করা যায়নি","localConversationPage.commitAndCreatePrModal.errorTitle":"পুল রিকোয়েস্ট কমিট ও তৈরি করা যায়নি","localConversationPage.commitAndCreatePrModal.successTitle":"পুল রিকোয়েস্ট কমিট ও তৈরি করা হয়েছে","localConversationPage.commitAndPushModal.errorTitle":"কমিট ও পুশ করা যায়নি","localConversationPage.commitAndPushModal.successTitle":"পরিবর্তন কমিট ও পুশ করা হয়েছে","localConversationPage.commitCreatePr.open":"পুল রিকোয়েস্ট খুলুন","localConversationPage.commitCreatePr.successTitle":"আপনার সর্বশেষ করা পরিবর্তনগুলি দিয়ে পুল রিকোয়েস্ট তৈরি করা হয়েছে","localConversationPage.createBranchButtonLabel":"এখানে ব্রাঞ্চ","localConversationPage.createPrModal.baseBranch":"মূল","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"পুল রিকোয়েস্ট তৈরি করুন","localConversationPage.createPrModal.createDescription":"আপনার সর্বশেষ করা পরিবর্তনগুলির জন্য একটি পুল রিকোয়েস্ট খুলুন।","localConversationPage.createPrModal.errorTitle":"পুল রিকোয়েস্ট করা যায়নি","localConversationPage.createPrModal.headBranch":"প্রধান","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"পুল রিকোয়েস্ট খুলুন","localConversationPage.createPrModal.successTitle":"পুল রিকোয়েস্ট তৈরি করা হয়েছে","localConversationPage.createPrModal.title":"পুল রিকোয়েস্ট তৈরি করুন","localConversationPage.createPrModal.viewDescription":"এই ব্রাঞ্চের জন্য ইতিমধ্যেই একটি পুল অনুরোধ বিদ্যমান আছে।","localConversationPage.createPrModal.viewTitle":"পুল রিকোয়েস্ট প্রস্তুত","localConversationPage.createPullRequestAuthGh":"GitHub CLI প্রমাণীকরণ করুন: `gh auth login` কমান্ডটি চালান","localConversationPage.createPullRequestBranchMissing":"ব্রাঞ্চের তথ্য উপলভ্য নেই","localConversationPage.createPullRequestButtonLabel":"পুল রিকোয়েস্ট তৈরি করুন","localConversationPage.createPullRequestButtonLabel.loading":"PR তৈরি করা হচ্ছে","localConversationPage.createPullRequestDefaultBranchMissing":"ডিফল্ট ব্রাঞ্চের তথ্য উপলভ্য নেই","localConversationPage.createPullRequestError":"পুল রিকোয়েস্ট তৈরি করা যায়নি","localConversationPage.createPullRequestExistingPullRequest":"এই ব্রাঞ্চের জন্য ইতিমধ্যেই একটি পুল অনুরোধ বিদ্যমান আছে।","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI স্ট্যাটাস লোড হচ্ছে…","localConversationPage.createPullRequestInstallGh":"পুল রিকোয়েস্ট তৈরি করার জন্য GitHub CLI (gh) ইনস্টল করু","localConversationPage.createPullRequestNoRepo":"কোনও git রিপোজিটরি পাওয়া যায়নি","localConversationPage.createPullRequestPushStatusMissing":"পুশ স্টেটাস লোড হচ্ছে...","localConversationPage.createPullRequestSetUpstream":"পুল রিকোয়েস্ট তৈরি করার আগে এই ব্রাঞ্চটি পুশ করুন","localConversationPage.createPullRequestSuccessToast":"পুল রিকোয়েস্ট তৈরি করা হয়েছে","localConversationPage.createPullRequestSwitchBranch":"পুল রিকোয়েস্ট তৈরি করার আগে একটি ফিচার ব্রাঞ্চ চেকআউট করুন","localConversationPage.error.render":"স্থানীয় কথোপকথন প্রদানের সময় ত্রুটি হয়েছে","localConversationPage.error.toast":"কথোপকথন পাওয়া যায়নি","localConversationPage.forcePushError":"জোর করে পুশ করা যায়নি","localConversationPage.generatePullRequestMessageError":"পুল রিকোয়েস্টের শিরোনাম এবং মূল অংশ তৈরি করা যায়নি","localConversationPage.generatePullRequestMessageFailed":"পুল রিকোয়েস্টের শিরোনাম এবং মূল অংশ তৈরি করা যায়নি।","localConversationPage.gitActionResult.branch":"ব্রাঞ্চ","localConversationPage.gitActionResult.cancel":"বাতিল করুন","localConversationPage.gitActionResult.close":"বন্ধ করুন","localConversationPage.gitActionResult.tryAgain":"আবার চেষ্টা করুন","localConversationPage.gitActions":"Git অ্যাকশন","localConversationPage.newChat":"নতুন চ্যাট","localConversationPage.openInTarget":"এখানে খুলুন","localConversationPage.openPrimaryTarget":"খুলুন","localConversationPage.planItemsCompleted":"{totalItems, plural, one {#টি কাজ সম্পূর্ণ হয়েছে} other {# টি কাজ সম্পূর্ণ হয়েছে}}-এর মধ্যে {completedItems}","localConversationPage.pushAuthError":"পুশ ব্যর্থ হয়েছে: প্রমাণীকরণ প্রয়োজন","localConversationPage.pushBranchMissing":"ব্রাঞ্চের তথ্য উপলভ্য নেই","localConversationPage.pushButtonLabel":"পুশ","localConversationPage.pushButtonLabel.loading":"পুশ করা হচ্ছে","localConversationPage.pushError":"পরিবর্তনগুলি পুশ করা যায়নি","localConversationPage.pushModal.branchLabel":"ব্রাঞ্চ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"বাতিল করুন","localConversationPage.pushModal.confirm":"পুশ","localConversationPage.pushModal.description":"আপনার সর্বশেষ করা কমিটগুলি রিমোট রিপোজিটরিতে পুশ করুন।","localConversationPage.pushModal.errorTitle":"পুশ করা যায়নি","localConversationPage.pushModal.forcePush":"জোর করে পুশ করুন","localConversationPage.pushModal.successTitle":"পুশ সম্পূর্ণ হয়েছে","localConversationPage.pushModal.title":"পুশ পরিবর্তন","localConversationPage.pushModal.tryAgain":"আবার চেষ্টা করুন","localConversationPage.pushNoUpstream":"এই ব্রাঞ্চটি পুশ করার আগে একটি আপস্ট্রিম সেট করুন","localConversationPage.pushNoUpstreamError":"পুশ ব্যর্থ হয়েছে: কোন আপস্ট্রিম কনফিগার করা নেই","localConversationPage.pushNothingToPush":"পুশ করার মতো কোন নতুন কমিট নেই","localConversationPage.pushRemoteChangedError":"পুশ ব্যর্থ হয়েছে: রিমোটে নতুন কমিট রয়েছে","localConversationPage.pushRemoteRejectedError":"রিমোট দ্বারা পুশ প্রত্যাখ্যান করা হয়েছে","localConversationPage.pushStatusMissing":"পুশ স্টেটাস লোড হচ্ছে...","localConversationPage.pushSuccessToast":"পুশ করা পরিবর্তনগুলি","localConversationPage.viewPullRequestButtonLabel":"পুল রিকোয়েস্ট দেখুন","localConversationPage.viewPullRequestButtonLabel.loading":"পুল রিকোয়েস্ট লোড হচ্ছে…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# file} other {# files}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {#টি তালিকা} other {#টি তালিকা}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# search} other {# searches}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"এক্সপ্লোর করা হচ্ছে","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"এক্সপ্লোর করা হয়েছে","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} এক্সপ্লোর করা হয়েছে","localConversationTurnStory.showContent":"কন্টেন্ট দেখান","localConversationTurnStory.streamContent":"কন্টেন্ট স্ট্রিম করুন","localConversationTurnStory.toggleReasoning":"যুক্তি দেখান","localTaskRow.archiveError":"কথোপকথন আর্কাইভ করা যায়নি","localTaskRow.resumeError":"কাজটি আবার শুরু করা যায়নি","mermaidDiagram.ariaLabel":"মারমেড ডায়াগ্রাম","mermaidDiagram.copySource":"মারমেড কপি করুন","mermaidDiagram.originalCode":"মারমেড সোর্স কোড","notifications.permissions.description":"নোটিফিকেশনের অনুমতি প্রয়োজন হলে অ্যালার্ট দেখান","notifications.permissions.label":"অনুমতি নোটিফিকেশন সক্ষম করুন","notifications.turnMode.always":"সবসময়","notifications.turnMode.description":"Codex কাজ শেষ হয়েছে বলে আপনাকে যে সময়ে জানাবে সেটি সেট করুন","notifications.turnMode.label":"সমাপ্তির নোটিফিকেশন চালু করুন","notifications.turnMode.off":"কখনই নয়","notifications.turnMode.unfocused":"শুধুমাত্র যখন মনোযোগ দেওয়া হয় না","patchApprovalRequest.approve":"অনুমোদন করুন","patchApprovalRequest.menu.allowAlways":"হ্যাঁ, এবং এই সেশনে আর জিজ্ঞাসা করবেন না।","patchApprovalRequest.menu.allowForSession":"হ্যাঁ, এবং এই সেশনে আর জিজ্ঞাসা করবেন না।","patchApprovalRequest.menu.allowOnce":"হ্যাঁ","patchApprovalRequest.prompt":"আপনি কি এই পরিবর্তনগুলি করতে চান?","patchApprovalRequest.reject":"না","patchApprovalRequest.waitingForApproval":"ফাইলগুলি এডিট করার জন্য অনুমোদনের অপেক্ষা করা হচ্ছে","pendingRequest.approvalExec.collapse":"সঙ্কুচিত করুন","pendingRequest.approvalExec.expand":"প্রসারিত করুন","pendingRequestStory.toastAnswer":"উত্তর: {answer}","pendingRequestStory.toastApprovalTitle":"অনুমোদনের উত্তর","pendingRequestStory.toastFollowupPrompt":"প্রম্পট: {prompt}","pendingRequestStory.toastFollowupTitle":"ফলো-আপ পাঠানো হয়েছে","pendingRequestStory.toastNoAnswers":"কোনও উত্তর দেওয়া হয়নি","pendingRequestStory.toastQuestion":"প্রশ্ন: {question}","pendingRequestStory.toastUnknownDecision":"অজানা","pendingRequestStory.toastUserInputTitle":"জমা দেওয়া উত্তর","quickAction.request.codeReview.branches.new":"{to}-এর তুলনায় {from}-এ করা পরিবর্তনগুলি পর্যালোচনা করুন","quickAction.request.codeReview.uncommitted.new":"আমার অঙ্গীকার না করা পরিবর্তনগুলি পর্যালোচনা করুন","reasoningItem.thinking":"চিন্তাভাবনা করছে","reasoningItem.thought":"চিন্তা","reasoningItem.thoughtWithElapsed":"{elapsed}-এর জন্য চিন্তাভাবনা","recentConversations.title":"সাম্প্রতিক কথোপকথন","recentTasks.worktreeInitFailedTitle":"Worktree শুরু করা যায়নি","recentTasks.worktreeSettingUpTitle":"Worktree সেট-আপ করা হচ্ছে","requestInputPanel.continue":"জারি রাখুন","requestInputPanel.dismiss":"খারিজ করুন","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"এখানে টাইপ করুন","requestInputPanel.optionIndex":"{index}।","requestInputPanel.otherPlaceholder":"না, এবং Codex-কে বলুন ভিন্নভাবে কী করতে হবে","requestInputPanel.selectedBadge":"নির্বাচন করা হয়েছে","requestInputPanel.skip":"এড়িয়ে যান","requestInputPanel.submit":"জমা দিন","review.commit.ariaLabel.includeUnstaged":"স্টেজ না করা পরিবর্তনগুলি অন্তর্ভুক্ত করুন","review.commit.buttonLabel":"কমিট করুন","review.commit.disabled.committing":"কমিট করা হচ্ছে...","review.commit.disabled.loadingDiff":"পার্থক্য লোড হচ্ছে…","review.commit.disabled.missingContext":"একটি কমিট মেসেজ তৈরি করতে কিছু প্রসঙ্গ যোগ করুন","review.commit.disabled.noChanges":"কোনও পরিবর্তন কমিট করার নেই","review.commit.disabled.noSelection":"কমিট করার জন্য পরিবর্তনগুলি নির্বাচন করুন","review.commit.disabled.unavailable":"কমিট এই মুহূর্তে উপলভ্য নেই","review.commit.error":"পরিবর্তনগুলি কমিট করা যায়নি","review.commit.form.changesToBeCommitted":"পরিবর্তন","review.commit.form.commitTo":"ব্রাঞ্চ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"জারি রাখুন","review.commit.form.title":"আপনার করা সব পরিবর্তন কমিট করুন","review.commit.generate.emptyResponse":"একটি কমিট মেসেজ তৈরি করা যায়নি।","review.commit.generate.failed":"কমিট মেসেজ তৈরি করা যায়নি: {error}","review.commit.generate.missingPrompt":"একটি কমিট মেসেজ তৈরি করতে কিছু প্রসঙ্গ যোগ করুন।","review.commit.includeUnstaged":"স্টেজ না করা পরিবর্তনগুলি অন্তর্ভুক্ত করুন","review.commit.loading.description":"একটু  অপেক্ষা করুন, এতে কয়েক মুহূর্ত সময় লাগতে পারে…","review.commit.loading.step.commit.done":"কমিট না করা পরিবর্তনগুলি","review.commit.loading.step.commit.pending":"পরিবর্তনগুলি কমিট করা হচ্ছে","review.commit.loading.step.createPr.done":"একটি পুল রিকোয়েস্ট তৈরি করা হয়েছে","review.commit.loading.step.createPr.pending":"একটি পুল রিকোয়েস্ট তৈরি করা হচ্ছে","review.commit.loading.step.push.done":"ব্রাঞ্চ {branch}-এ পুশ করা হয়েছে","review.commit.loading.step.push.pending":"ব্রাঞ্চ {branch}-এ পুশ করা হচ্ছে","review.commit.loading.title.commit":"পরিবর্তনগুলি কমিট করা হচ্ছে","review.commit.loading.title.createPr":"একটি পুল রিকোয়েস্ট তৈরি করা হচ্ছে","review.commit.loading.title.push":"পরিবর্তনগুলি পুশ করা হচ্ছে","review.commit.messageLabel":"কমিট মেসেজ","review.commit.messagePlaceholder":"একটি কমিট মেসেজ স্বয়ংক্রিয়ভাবে তৈরি করতে ফাঁকা ছেড়ে দিন","review.commit.nextSteps":"পরবর্তী ধাপ","review.commit.nextSteps.commit":"কমিট করুন","review.commit.nextSteps.commitAndCreate":"পুল রিকোয়েস্ট কমিট ও তৈরি করুন","review.commit.nextSteps.commitAndPush":"কমিট ও পুশ","review.commit.nextSteps.prRequiresGh":"GitHub CLI প্রয়োজন: {command}","review.commit.rows.changes":"পরিবর্তন","review.commit.rows.commitCount":"{count, plural, one {#টি কমিট} other {#টি কমিট}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {#টি কমিট} other {#টি কমিট}} এবং {stats}","review.commit.rows.fileCount":"{count, plural, one {#টি ফাইল} other {#টি ফাইল}}","review.commit.state.error.body":"কমিট করার সময় কিছু ভুল হয়েছে। আপনার git-এর স্টেটাস পরীক্ষা করে আবার চেষ্টা করুন।","review.commit.state.error.title":"কমিট করা যায়নি","review.commit.state.success.title":"পরিবর্তনগুলি কমিট করা হয়েছে","review.commit.untracked.loadingStats":"ট্র্যাক না করা পরিবর্তনগুলির পরিসংখ্যান লোড হচ্ছে…","reviewFindingAttachments.count":"{count, plural, one {#টি ফলাফল} other {#টি ফলাফল}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"এজেন্ট আচরণ কাস্টমাইজ করতে আপনার কনফিগারেশন এডিট করুন","settings.agent.configuration.configToml.docs":"ডকুমেন্ট","settings.agent.configuration.subtitle":"এই সেটিংস Codex ব্যবহার করা হয় এমন যেকোনও স্থানে প্রযোজ্য।","settings.automations.banner.danger":"অটোমেশনগুলি আপনার ডিফল্ট স্যান্ডবক্স সেটিংসের মাধ্যমে চলে, যা বর্তমানে পূর্ণাঙ্গ ব্যবহার সেট করা আছে। পূর্ণাঙ্গ ব্যবহারের সাথে ব্যাকগ্রাউন্ড অটোমেশন চালানোর ঝুঁকি বেশি, কারণ Codex ফাইলগুলি পরিবর্তন করতে পারে, কমান্ড চালাতে পারে এবং জিজ্ঞাসা না করেই নেটওয়ার্ক ব্যবহার করতে পারে। ওয়ার্কস্পেস লেখার জন্য স্যান্ডবক্স সেটিংস আপডেট করা, এবং এজেন্ট পূর্ণাঙ্গ ব্যবহারের সাথে কোন কমান্ড চালাতে পারে তা নির্বাচিতভাবে নির্ধারণ করার জন্য <rulesDocsLink>নিয়ম</rulesDocsLink> ব্যবহার করার কথা বিবেচনা করুন।","settings.automations.banner.defaultHowTo.default":"অটোমেশনগুলি আপনার ডিফল্ট স্যান্ডবক্স সেটিংসের মাধ্যমে চলে। যদি ওয়ার্কস্পেসের বাইরে ফাইল পরিবর্তন করতে, নেটওয়ার্ক ব্যবহার করতে বা আপনার কম্পিউটারে অ্যাপগুলির সাথে কাজ করতে হয় তাহলে টুল কলগুলি ব্যর্থ হবে। আপনি <rulesDocsLink>নিয়ম</rulesDocsLink> ব্যবহার করে স্যান্ডবক্সের বাইরে চালানোর জন্য নির্বাচিতভাবে allowlist কমান্ডগুলি ব্যবহার করতে পারেন।","settings.automations.banner.defaultHowTo.readOnly":"অটোমেশনগুলি আপনার ডিফল্ট স্যান্ডবক্স সেটিংসের মাধ্যমে চলে, যা কেবল পড়ার যোগ্য হিসাবে সেট করা থাকে। ফাইল পরিবর্তন, নেটওয়ার্ক ব্যবহার, অথবা আপনার কম্পিউটারে অ্যাপগুলির সাথে কাজ করার প্রয়োজন হলে টুল কলগুলি ব্যর্থ হবে। ওয়ার্কস্পেস লেখার জন্য স্যান্ডবক্স সেটিংস আপডেট করার কথা বিবেচনা করুন।","settings.automations.cancel":"বাতিল করুন","settings.automations.create":"তৈরি করুন","settings.automations.cwdEmpty":"কোনও প্রোজেক্ট ফোল্ডার উপলভ্য নেই","settings.automations.cwdLabel":"প্রোজেক্ট","settings.automations.cwdPlaceholder":"একটি ফোল্ডার বেছে নিন","settings.automations.cwdSubtitle":"যদি আপনি একটি নির্দিষ্ট ব্রাঞ্চে একটি অটোমেশন চালাতে চান, তাহলে আপনি আপনার প্রম্পটে এটি নির্দিষ্ট করতে পারেন।","settings.automations.delete":"মুছুন","settings.automations.dialog.editTitle":"অটোমেশন এডিট করুন","settings.automations.dialog.newTitle":"নতুন অটোমেশন","settings.automations.dialog.subtitle":"ব্যাকগ্রাউন্ডে পুনরাবৃত্ত কাজগুলি স্বয়ংক্রিয় করুন। Codex ইনবক্সে ফলাফল যোগ করে, অথবা রিপোর্ট করার মতো কিছু না থাকলে স্বয়ংক্রিয়ভাবে কাজটি আর্কাইভ করে। <learnMoreLink>আরও জানুন</learnMoreLink>","settings.automations.dialog.title":"অটোমেশন তৈরি করুন","settings.automations.executionCopy.git":"অটোমেশন নির্দিষ্ট ওয়ার্কট্রিতে ব্যাকগ্রাউন্ডে চলে।","settings.automations.executionCopy.nonGit":"নন-ভার্সন-নিয়ন্ত্রিত প্রোজেক্টগুলিতে অটোমেশন সরাসরি প্রোজেক্ট ডিরেক্টরিতে চলে। ব্যাকগ্রাউন্ড ওয়ার্কট্রিতে রান সক্ষম করতে Git ব্যবহার করার কথা বিবেচনা করুন।","settings.automations.executionEnvironment.local":"লোকাল","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"লোড হচ্ছে...","settings.automations.nameLabel":"নাম","settings.automations.namePlaceholder":"সেন্ট্রি সমস্যাগুলির জন্য পরীক্ষা করুন","settings.automations.pause":"থামান","settings.automations.promptLabel":"প্রম্পট","settings.automations.promptPlaceholder":"$Sentry-এ ক্র্যাশ খুঁজুন","settings.automations.resume":"আবার শুরু করুন","settings.automations.rruleSummaryFallback":"প্রচলিত সময়সূচি","settings.automations.runNow":"পরীক্ষা","settings.automations.save":"সেভ করুন","settings.automations.scheduleBadge.dayCount":"{count}দিন","settings.automations.scheduleBadge.interval":"{count}ঘণ্টা","settings.automations.scheduleBadge.weekdays":"সপ্তাহের কাজের দিন","settings.automations.scheduleBadge.weekends":"সপ্তাহান্তে","settings.automations.scheduleHeader":"সময়সূচি","settings.automations.scheduleHours":"ঘণ্টা","settings.automations.scheduleLabel":"প্রতিটি চালান","settings.automations.scheduleMode.daily":"দিনে একবার","settings.automations.scheduleMode.interval":"ব্যবধান","settings.automations.scheduleModeLabel":"সময়সূচির প্রকার","settings.automations.scheduleSummary.daily":"দিনে একবার {time}-এ","settings.automations.scheduleSummary.interval":"প্রতি {count} ঘণ্টায়","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {এক # দিন} other {# দিন}}","settings.automations.scheduleSummary.intervalDays":"{days}-এ {interval} ","settings.automations.scheduleSummary.intervalHourly":"ঘণ্টাভিত্তিক","settings.automations.scheduleSummary.singleDay":"{day} {time}-এ ","settings.automations.scheduleSummary.weekdays":"সপ্তাহের কাজের দিনে {time}-এ","settings.automations.scheduleSummary.weekdaysLabel":"সপ্তাহের কাজের দিন","settings.automations.scheduleSummary.weekends":"সপ্তাহের কাজের দিনে {time}-এ","settings.automations.scheduleSummary.weekendsLabel":"সপ্তাহান্তে","settings.automations.scheduleSummary.weekly":"{days} {time}-এ ","settings.automations.scheduleWeekdays":"চালু","settings.automations.weekdayState.excluded":"বাদ দেওয়া হয়েছে","settings.automations.weekdayState.included":"অন্তর্ভুক্ত করা হয়েছে","settings.conversationDetail.steps":"ধাপ","settings.conversationDetail.steps.description":"কমান্ড এবং আউটপুট আড়াল করুন","settings.conversationDetail.stepsWithCommands":"কোড কমান্ডসহ বিভিন্ন ধাপ","settings.conversationDetail.stepsWithCommands.description":"কমান্ড দেখান, আউটপুট সঙ্কুচিত করুন","settings.conversationDetail.stepsWithOutput":"কোড আউটপুটসহ বিভিন্ন ধাপ","settings.conversationDetail.stepsWithOutput.description":"কমান্ড দেখান এবং আউটপুট প্রসারিত করুন","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"কোনও আর্কাইভ করা চ্যাট নেই","settings.dataControls.archivedChats.error":"আর্কাইভ করা চ্যাটগুলি লোড করা যায়নি।","settings.dataControls.archivedChats.loading":"আর্কাইভ করা চ্যাট লোড হচ্ছে…","settings.dataControls.archivedChats.unarchive":"আর্কাইভ থেকে সরান","settings.dataControls.archivedChats.unarchiveError":"চ্যাট আর্কাইভ থেকে সরানো যায়নি","settings.dataControls.archivedChats.unarchiveSuccess":"আর্কাইভমুক্ত থ্রেড। <viewNowLink>এখন দেখুন</viewNowLink>","settings.dataControls.archivedChats.untitled":"শিরোনামহীন চ্যাট","settings.editRow.headerPlaceholder":"কি","settings.editRow.removeEntry":"এন্ট্রি সরান","settings.editRow.valuePlaceholder":"মান","settings.general.appearance":"চেহারা-ছবি","settings.general.appearance.codeFont":"কোড ফন্ট","settings.general.appearance.codeFont.description":"চ্যাট এবং ডিফ জুড়ে কোডের জন্য ব্যবহৃত ফন্ট এবং আকার ফেরবদল করুন","settings.general.appearance.codeFontFamily":"কোড ফন্ট ফ্যামিলি","settings.general.appearance.codeFontSize":"কোডের ফন্টের সাইজ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Make windows use a solid background rather than system translucency","settings.general.appearance.opaqueWindows.label":"Use opaque window background","settings.general.appearance.sansFontFamily":"Sans ফন্ট ফ্যামিলি","settings.general.appearance.sansFontFamily.description":"Codex UI-এর জন্য ব্যবহৃত ফন্টটি সমন্বয় করুন","settings.general.appearance.sansFontSize":"Sans ফন্ট সাইজ","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark-এর প্রথম পালা চলাকালীন পূর্ণ-উইন্ডো উদযাপনের প্রভাব দেখান","settings.general.appearance.sparkCelebrationEffects.label":"Spark উদযাপনের প্রভাব","settings.general.appearance.theme":"থিম","settings.general.appearance.theme.dark":"গাঢ়","settings.general.appearance.theme.description":"হালকা, গাঢ় ব্যবহার করুন, অথবা আপনার সিস্টেমের সাথে মেলান","settings.general.appearance.theme.light":"আলো","settings.general.appearance.theme.system":"সিস্টেম","settings.general.appearance.usePointerCursors.description":"ইন্টারঅ্যাক্টিভ উপাদানের উপর ঘোরানোর সময় কার্সারটিকে পয়েন্টারে পরিবর্তন করুন","settings.general.appearance.usePointerCursors.label":"পয়েন্টার কার্সার ব্যবহার করুন","settings.general.enterBehavior.description":"সক্রিয় থাকাকালীন, মাল্টিলাইন প্রম্পট পাঠানোর জন্য {modifierSymbol}+ এন্টার টিপতে হবে।","settings.general.enterBehavior.label":"দীর্ঘ প্রম্পট পাঠাতে {modifierSymbol}+ এন্টার টিপতে হবে।","settings.general.experimentalFeatures":"পরীক্ষামূলক ফিচার (বিটা)","settings.general.experimentalFeatures.empty":"কোনও বিটা পরীক্ষামূলক ফিচার উপলভ্য নেই।","settings.general.experimentalFeatures.loading":"পরীক্ষামূলক ফিচারগুলি লোড হচ্ছে...","settings.general.experimentalFeatures.restartNote":"পরীক্ষামূলক ফিচারের পরিবর্তনগুলি প্রয়োগ করতে Codex পুনরায় চালু করুন","settings.general.experimentalFeatures.toggle":"{featureName} টগল করুন","settings.general.followUpQueueMode.description":"Codex চলাকালীন ফলো-আপগুলি কিউতে রাখুন, অথবা বর্তমান রানটি ব্যাহত করুন।","settings.general.followUpQueueMode.interrupt":"চালনা করুন","settings.general.followUpQueueMode.label":"ফলো-আপ আচরণ","settings.general.followUpQueueMode.queue":"সারি","settings.general.notifications":"নোটিফিকেশন","settings.general.power.preventSleepWhileRunning.description":"Codex থ্রেড চালানোর সময় আপনার কম্পিউটার চালু রাখুন।","settings.general.power.preventSleepWhileRunning.label":"চালানোর সময়ে স্লিপ মোডে যেতে দেবেন না ","settings.git.branchPrefix.ariaLabel":"ব্রাঞ্চ প্রিফিক্স","settings.git.branchPrefix.description":" Codex-এ নতুন শাখা তৈরি করার সময় ব্যবহৃত প্রিফিক্স","settings.git.branchPrefix.label":"ব্রাঞ্চ প্রিফিক্স","settings.git.branchPrefix.placeholder":"Codex/","settings.git.branchPrefix.save.error":"ব্রাঞ্চ প্রিফিক্স সেভ করা যায়নি","settings.git.branchPrefix.save.success":"ব্রাঞ্চ প্রিফিক্স সেভ করা হয়েছে","settings.git.commitInstructions.ariaLabel":"কমিট করার নির্দেশাবলী","settings.git.commitInstructions.description":"কমিট মেসেজ তৈরির প্রম্পটে যোগ করা হয়েছে","settings.git.commitInstructions.label":"কমিট করার নির্দেশাবলী","settings.git.commitInstructions.placeholder":"কমিট মেসেজ নির্দেশনা যোগ করুন...","settings.git.commitInstructions.save":"সেভ করুন","settings.git.commitInstructions.save.error":"কমিট করার নির্দেশাবলী সেভ করা যায়নি","settings.git.commitInstructions.save.success":"কমিট করার নির্দেশাবলী সেভ করা হয়েছে","settings.git.forcePush.ariaLabel":"সর্বদা জোর করে পুশ করুন","settings.git.forcePush.description":"Codex থেকে পুশ করার সময় --force-with-lease ব্যবহার করুন","settings.git.forcePush.label":"সর্বদা জোর করে পুশ করুন","settings.git.forcePush.save.disabled":"সর্বদা জোর করে পুশ করার ক্ষমতা অক্ষম করুন","settings.git.forcePush.save.enabled":"সর্বদা জোর করে পুশ করার ক্ষমতা সক্ষম করুন","settings.git.forcePush.save.error":"জোর করে পুশ করার সেটিং সেভ করা যায়নি","settings.git.prInstructions.ariaLabel":"পুল রিকোয়েস্ট নির্দেশাবলী","settings.git.prInstructions.description":"Codex দ্বারা তৈরি পুল রিকোয়েস্ট বডিতে যুক্ত করা হয়েছে","settings.git.prInstructions.label":"পুল রিকোয়েস্ট নির্দেশাবলী","settings.git.prInstructions.placeholder":"পুল রিকোয়েস্ট নির্দেশনা যোগ করুন...","settings.git.prInstructions.save":"সেভ করুন","settings.git.prInstructions.save.error":"পুল রিকোয়েস্ট নির্দেশাবলী সেভ করা যায়নি","settings.git.prInstructions.save.success":"পুল অনুরোধ নির্দেশাবলী সেভ করা হয়েছে","settings.ide.defaultOpenTarget.description":"যেখানে ফাইল এবং ফোল্ডারগুলি ডিফল্টভাবে খোলে","settings.ide.defaultOpenTarget.label":"ডিফল্টভাবে যেখানে খোলা হবে","settings.ide.defaultOpenTarget.placeholder":"কোনও টার্গেট পাওয়া যায়নি","settings.ide.language.auto":"স্বয়ং-শনাক্ত","settings.ide.language.autoOption":"স্বয়ং-শনাক্ত","settings.ide.language.description":"অ্যাপ UI-এর ভাষা","settings.ide.language.label":"ভাষা","settings.ide.language.search":"ভাষা খুঁজুন","settings.layout.actionButton":"সম্প্রসারণ পুনরায় চালু করুন","settings.layout.actionTitle":"অ্যাকশনের সেটিংস","settings.layout.fullWidthTitle":"সেটিংস (পূর্ণ প্রস্থ)","settings.layout.title":"সেটিংস","settings.localEnvironments.actions.add":"অ্যাকশন যোগ করুন","settings.localEnvironments.actions.add.description":"টুলবার থেকে চালানোর জন্য একটি নতুন কমান্ড তৈরি করুন।","settings.localEnvironments.actions.add.save":"সেভ করুন","settings.localEnvironments.actions.empty":"লোকাল টুলবার থেকে কমান্ড চালানোর জন্য একটি অ্যাকশন যোগ করুন।","settings.localEnvironments.actions.icon.debug":"ডিবাগ","settings.localEnvironments.actions.icon.run":"চালান","settings.localEnvironments.actions.icon.test":"পরীক্ষা","settings.localEnvironments.actions.icon.tool":"টুল","settings.localEnvironments.actions.item.button.delete":"মুছুন","settings.localEnvironments.actions.item.command":"অ্যাকশন স্ক্রিপ্ট","settings.localEnvironments.actions.item.name":"নাম","settings.localEnvironments.actions.item.platforms":"প্ল্যাটফর্ম","settings.localEnvironments.actions.item.platforms.help":"শুধুমাত্র একটি নির্দিষ্ট অপারেটিং সিস্টেমে চলে।","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"প্লাটফর্ম নির্বাচন","settings.localEnvironments.actions.item.platforms.specific":"প্লাটফর্ম নির্দিষ্ট","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"মুছুন","settings.localEnvironments.actions.title":"কাজসমূহ","settings.localEnvironments.breadcrumb.back":"পিছনে","settings.localEnvironments.breadcrumb.edit":"এডিট করুন","settings.localEnvironments.breadcrumb.root":"এনভায়রনমেন্ট","settings.localEnvironments.environment.actions.description":"এই অ্যাকশনগুলি যেকোনও কমান্ড চালাতে পারে এবং এগুলি হেডারে প্রদর্শিত হবে।","settings.localEnvironments.environment.actionsLabel":"কাজসমূহ","settings.localEnvironments.environment.create":"লোকাল এনভায়রনমেন্ট তৈরি করুন","settings.localEnvironments.environment.defaultName":"লোকাল","settings.localEnvironments.environment.edit":"লোকাল এনভায়রনমেন্ট এডিট করুন","settings.localEnvironments.environment.empty":"এই প্রোজেক্টের জন্য এখনও কোনও স্থানীয় এনভায়রনমেন্ট কনফিগার করা হয়নি।","settings.localEnvironments.environment.name":"নাম","settings.localEnvironments.environment.setup":"স্ক্রিপ্ট সেট-আপ করুন","settings.localEnvironments.environment.setup.description":"এই স্ক্রিপ্টটি ওয়ার্কট্রি তৈরির সময় চলবে।","settings.localEnvironments.environment.setup.hint":"প্রোজেক্টের মূলে কাজ করে।","settings.localEnvironments.environment.setup.platformOverrides":"প্ল্যাটফর্ম ওভাররাইড","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} সেটআপ স্ক্রিপ্ট যোগ করুন","settings.localEnvironments.environment.setup.platformOverrides.description":"নির্দিষ্ট অপারেটিং সিস্টেমের জন্য ডিফল্ট স্ক্রিপ্টটিকে ওভাররাইড করে।","settings.localEnvironments.environment.setup.platformOverrides.remove":"অপসারণ করুন","settings.localEnvironments.environment.setup.script":"স্ক্রিপ্ট","settings.localEnvironments.environment.title":"এনভায়রনমেন্টের বিশদ তথ্য","settings.localEnvironments.file.missing":"এই ফাইলটি প্রথমবার তৈরি করার জন্য সেভ করুন।","settings.localEnvironments.file.parseError":"বিদ্যমান ফাইলটি পার্স করা যাচ্ছে না। সেভ করলে এটি ওভাররাইট হয়ে যাবে। ({error})","settings.localEnvironments.file.path":"ফাইল: {path}","settings.localEnvironments.file.readError":"লোকাল এনভায়রনমেন্টের ডেটা লোড করা যায়নি। ({error})","settings.localEnvironments.file.title":"লোকাল এনভায়রনমেন্ট ফাইল","settings.localEnvironments.loading.body":"আপনার প্রোজেক্টের কনফিগারেশন আনা হচ্ছে।","settings.localEnvironments.loading.title":"লোকাল এনভায়রনমেন্ট লোড হচ্ছে","settings.localEnvironments.preview.devOnly":"(শুধুমাত্র ডেভেলপারদের জন্য)","settings.localEnvironments.preview.save":"সেভ করুন","settings.localEnvironments.preview.saveError":"ফাইলটি সেভ করা যায়নি। ({error})","settings.localEnvironments.preview.title":"প্রিভিউ","settings.localEnvironments.save.disabled.name":"সেভ করার জন্য একটি পরিবেশের নাম যোগ করুন।","settings.localEnvironments.save.disabled.noChanges":"সেভ করার জন্য কোনও পরিবর্তন নেই।","settings.localEnvironments.save.disabled.saving":"সেভ করা হচ্ছে...","settings.localEnvironments.save.success":"লোকাল এনভায়রনমেন্ট সেভ করা হয়েছে","settings.localEnvironments.unavailable.body":"আমরা এই ওয়ার্কস্পেসের জন্য লোকাল এনভায়রনমেন্ট সেটিংস লোড করতে পারিনি।","settings.localEnvironments.unavailable.title":"লোকাল এনভায়রনমেন্ট উপলভ্য নেই","settings.localEnvironments.workspace.add":"প্রোজেক্ট যোগ করুন","settings.localEnvironments.workspace.title":"প্রোজেক্ট","settings.localEnvironments.workspaceSelect.addLabel":"এনভায়রনমেন্ট যোগ করুন","settings.localEnvironments.workspaceSelect.description":"লোকাল এনভায়রনমেন্ট Codex-কে জানায় যে কীভাবে একটি ওয়ার্কস্পেসের জন্য ওয়ার্কট্রি সেট-আপ করতে হয়। {learnMore}","settings.localEnvironments.workspaceSelect.empty":"এখনও কোনও প্রোজেক্ট নেই। স্থানীয় এনভায়রনমেন্ট কনফিগার করতে একটি যোগ করুন।","settings.localEnvironments.workspaceSelect.errorLabel":"এনভায়রনমেন্টের প্রতি মনোযোগ দেওয়া প্রয়োজন","settings.localEnvironments.workspaceSelect.learnMore":"আরও জানুন","settings.localEnvironments.workspaceSelect.listLabel":"উপলভ্য প্রোজেক্ট","settings.localEnvironments.workspaceSelect.loading":"প্রোজেক্ট লোড হচ্ছে","settings.localEnvironments.workspaceSelect.loadingLabel":"এনভায়রনমেন্ট লোড করা হচ্ছে","settings.localEnvironments.workspaceSelect.title":"একটি প্রোজেক্ট নির্বাচন করুন","settings.localEnvironments.workspaceSelect.viewAction":"দেখুন","settings.mcp.addServer":"সার্ভার যোগ করুন","settings.mcp.app.configure":"কনফিগার করুন","settings.mcp.app.connect":"সংযোগ করুন","settings.mcp.apps.refresh":"রিফ্রেশ করুন","settings.mcp.detail.addArgument":"যুক্তি যোগ করুন","settings.mcp.detail.addEnvVar":"এনভায়রনমেন্ট ভেরিয়েবেল","settings.mcp.detail.addEnvVarPassthrough":"ভেরিয়েবল যোগ করুন","settings.mcp.detail.args":"যুক্তি","settings.mcp.detail.back":"পিছনে","settings.mcp.detail.command":"চালু করার কমান্ড","settings.mcp.detail.cwd":"কাজের ডিরেক্টরি","settings.mcp.detail.docs":"MCP ডকুমেন্টেশন খুলুন","settings.mcp.detail.docs.link":"ডকুমেন্ট","settings.mcp.detail.envVarPassthrough":"এনভায়রনমেন্ট ভেরিয়েবেল পাসথ্রু","settings.mcp.detail.envVars":"এনভায়রনমেন্ট ভেরিয়েবেল","settings.mcp.detail.http.addEnvHeader":"ভেরিয়েবল যোগ করুন","settings.mcp.detail.http.addHeader":"হেডার যোগ করুন","settings.mcp.detail.http.bearerToken":"বাহক টোকেন এনভায়রনমেন্ট ভেরিয়েবল","settings.mcp.detail.http.envHeaders":"এনভায়রনমেন্ট ভেরিয়েবল থেকে নেওয়া হেডার","settings.mcp.detail.http.headers":"হেডার","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"নাম","settings.mcp.detail.save":"সেভ করুন","settings.mcp.detail.switchTransportNotice":"আপনি যদি MC সার্ভারের ধরন পরিবর্তন করতে চান, তাহলে প্রথমে এটি আনইনস্টল করুন।","settings.mcp.detail.titleExisting":"{name} MCP আপডেট করুন","settings.mcp.detail.titleNew":"একটি কাস্টম MCP-তে সংযোগ করুন","settings.mcp.detail.transport.http":"স্ট্রিমযোগ্য HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"আনইনস্টল করুন","settings.mcp.empty":"কোনও কাস্টম MCP সার্ভার সংযুক্ত নেই","settings.mcp.myServers":"কাস্টম সার্ভার","settings.mcp.partnerServer.description.figma":"সম্পূর্ণ Figma প্রসঙ্গ অন্তর্ভুক্ত করে আরও ভালো কোড তৈরি করুন","settings.mcp.partnerServer.description.github":"ওয়ার্কফ্লো স্বয়ংক্রিয় করতে এবং ডেটা নিষ্কাশন করতে GitHub API-এর সাথে একীভূত করুন","settings.mcp.partnerServer.description.linear":"Linear-এর সমস্যা ট্র্যাকিং এবং প্রোজেক্ট ম্যানেজমেন্টের সাথে একীভূত করুন।","settings.mcp.partnerServer.description.notion":"ডকুমেন্ট পড়ুন, পেজ আপডেট করুন, কাজগুলিকে ব্যবস্থিত করুন","settings.mcp.partnerServer.description.playwright":"ডিজাইন বাস্তবায়ন এবং UI পরীক্ষা করার জন্য ব্রাউজার অটোমেশন ইন্টিগ্রেট করুন।","settings.mcp.partnerServer.install":"ইনস্টল করুন","settings.mcp.partnerServer.installAndAuthenticate":"ইনস্টল করুন এবং প্রমাণীকরণ করুন","settings.mcp.partnerServer.logoAlt":"{label} লোগো","settings.mcp.partnerServer.manage":"ব্যবস্থিত করুন","settings.mcp.partnerServer.vendor":"{vendor} দ্বারা","settings.mcp.recommendedServers":"সুপারিশকৃত সার্ভার","settings.mcp.restartApp":"পুনরায় চালু করুন","settings.mcp.restartExtension":"সম্প্রসারণ পুনরায় চালু করুন","settings.mcp.server.enable":"সক্ষম করুন","settings.mcp.server.login":"প্রমাণীকরণ করুন","settings.mcp.server.settings":"সেটিংস","settings.multiselect.createOption":'"{value}" তৈরি করুন',"settings.multiselect.removeOption":"অপসারণ করুন","settings.nav.account":"অ্যাকাউন্ট","settings.nav.agent":"কনফিগারেশন","settings.nav.ariaLabel":"সেটিংস","settings.nav.back":"অ্যাপে ফিরে যান","settings.nav.data-controls":"আর্কাইভ করা থ্রেড","settings.nav.environments":"ক্লাউড এনভায়রনমেন্ট","settings.nav.externalTooltip":"[আলফা] ব্রাউজারে খোলে","settings.nav.general-settings":"সাধারণ","settings.nav.git-settings":"Git","settings.nav.local-environments":"এনভায়রনমেন্ট","settings.nav.mcp-settings":"MCP সার্ভার","settings.nav.notImplemented":"[আলফা] আলফা-তে উপলভ্য নেই","settings.nav.personalization":"ব্যক্তিনির্দিষ্টকরণ","settings.nav.skills-settings":"দক্ষতা","settings.nav.usage-analytics":"ব্যবহার এবং বিশ্লেষণ","settings.nav.worktrees":"ওয়ার্কট্রি","settings.openSourceLicenses.back":"পিছনে","settings.openSourceLicenses.loading":"লোড হচ্ছে...","settings.openSourceLicenses.missing":"কোনও তৃতীয় পক্ষের নোটিশ পাওয়া যায়নি।","settings.openSourceLicenses.notSupported":"এই হোস্টে উপলভ্য নেই।","settings.openSourceLicenses.rowDescription":"বান্ডিলড ডিপেন্ডেন্সির জন্য তৃতীয় পক্ষের নোটিশ","settings.openSourceLicenses.rowLabel":"সোর্স লাইসেন্স খুলুন","settings.openSourceLicenses.subtitle":"এই অ্যাপে অন্তর্ভুক্ত নির্ভরতার জন্য তৃতীয় পক্ষের নোটিশ","settings.openSourceLicenses.title":"সোর্স লাইসেন্স খুলুন","settings.openSourceLicenses.view":"দেখুন","settings.personalization.agents.description":"Codex-কে আপনার অনুযায়ী মানিয়ে নিতে নির্দেশাবলী এডিট করুন। {learnMore}","settings.personalization.agents.learnMore":"আরও জানুন","settings.personalization.agents.loadError":"agents.md লোড করা যায়নি।","settings.personalization.agents.loading":"agents.md লোড হচ্ছে…","settings.personalization.agents.placeholder":"আপনার কাস্টম নির্দেশাবলী যোগ করুন...","settings.personalization.agents.retry":"আবার চেষ্টা করুন","settings.personalization.agents.save":"সেভ করুন","settings.personalization.agents.save.error":"agents.md সেভ করা যায়নি","settings.personalization.agents.save.success":"agents.md সেভ করা হয়েছে","settings.personalization.agents.title":"চলতি নির্দেশাবলী","settings.personalization.personality.description":"Codex উত্তরের জন্য একটি ডিফল্ট কথার সুর বেছে নিন","settings.personalization.personality.label":"ব্যক্তিত্ব","settings.sample.contentBody":"সামঞ্জস্যপূর্ণ স্পেসিং সহ আপনার সেটিংস প্যানেলগুলি কম্পোজ করতে এই লেআউটটি ব্যবহার করুন।","settings.sample.contentTitle":"নমুনা কন্টেন্ট ব্লক","settings.section.account":"অ্যাকাউন্ট","settings.section.agent":"কনফিগারেশন","settings.section.data-controls":"আর্কাইভ করা থ্রেড","settings.section.environments":"ক্লাউড এনভায়রনমেন্ট","settings.section.external":"আলফা চলাকালীন আপনার ব্রাউজারে খোলে","settings.section.general-settings":"সাধারণ","settings.section.git-settings":"Git","settings.section.local-environments":"এনভায়রনমেন্ট","settings.section.mcp-settings":"MCP সার্ভার","settings.section.mcp-settings.docs":"ডকুমেন্ট","settings.section.mcp-settings.subtitle":"এক্সটার্নাল টুল এবং ডেটা সোর্সগুলি সংযুক্ত করুন।","settings.section.personalization":"ব্যক্তিনির্দিষ্টকরণ","settings.section.skills-settings":"দক্ষতা","settings.section.unavailable":"আলফাতে এখনও উপলভ্য নয়","settings.section.usage-analytics":"ব্যবহার এবং বিশ্লেষণ","settings.section.worktrees":"ওয়ার্কট্রি","settings.threadDetail.description":"থ্রেডে কত কমান্ড আউটপুট দেখাতে হবে তা বেছে নিন","settings.threadDetail.label":"থ্রেডের বিস্তারিত বিবরণ","settings.worktrees.conversation.untitled":"শিরোনামহীন কথোপকথন","settings.worktrees.delete.error":"ওয়ার্কট্রি মুছে ফেলা যায়নি","settings.worktrees.empty.body":"Codex দ্বারা তৈরি ওয়ার্কট্রিগুলি এখানে দেখানো হবে।","settings.worktrees.empty.title":"এখনও কোনও ওয়ার্কট্রি নেই","settings.worktrees.error.body":"ওয়ার্কট্রি লোড করার সময় কিছু সমস্যা হয়েছে।","settings.worktrees.error.retry":"আবার চেষ্টা করুন","settings.worktrees.error.title":"ওয়ার্কট্রি লোড করা যাচ্ছে না","settings.worktrees.loading.body":"ওয়ার্কট্রির বিশদ তথ্য আনা হচ্ছে।","settings.worktrees.loading.title":"ওয়ার্কট্রি লোড হচ্ছে","settings.worktrees.repository.loading":"রিপোজিটরি মেটাডেটা লোড হচ্ছে...","settings.worktrees.repository.unknown":"অজানা রিপোজিটরি","settings.worktrees.row.conversations":"কথোপকথন","settings.worktrees.row.conversations.empty":"এই ওয়ার্কট্রির সাথে কোনও কথোপকথন লিঙ্ক করা হয়নি।","settings.worktrees.row.conversations.loading":"কথোপকথন লোড হচ্ছে...","settings.worktrees.row.delete":"মুছুন","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"নতুন প্রোজেক্ট যোগ করুন","sidebarElectron.archiveThread":"থ্রেড আর্কাইভ করুন","sidebarElectron.archiveThreadError":"থ্রেড আর্কাইভ করা যায়নি","sidebarElectron.collapseFolder":"ফোল্ডার সঙ্কুচিত করুন","sidebarElectron.createStableWorktree.dialog.cancel":"বাতিল করুন","sidebarElectron.createStableWorktree.dialog.create":"তৈরি করুন","sidebarElectron.debugNavLink":"ডিবাগ","sidebarElectron.editWorkspaceRootOptionName":"নাম এডিট করুন","sidebarElectron.expandFolder":"ফোল্ডার প্রসারিত করুন","sidebarElectron.groupByMenu.recency":"কালানুক্রমিক তালিকা","sidebarElectron.groupByMenu.title":"সংগঠিত করুন","sidebarElectron.groupByMenu.workspace":"প্রোজেক্ট দ্বারা","sidebarElectron.inboxRouteNavLink":"অটোমেশন","sidebarElectron.markThreadUnread":"না-পড়া হিসেবে চিহ্নিত করুন","sidebarElectron.missingWorkspaceRoot":"এই প্রোজেক্ট ফোল্ডারটি মুছে ফেলা হয়েছে অথবা সরানো হয়েছে","sidebarElectron.newThread":"নতুন থ্রেড","sidebarElectron.newThreadInGroup":"{folder}-এ নতুন  থ্রেড শুরু করুন","sidebarElectron.noRecentThreads":"সাম্প্রতিক কোন থ্রেড নেই","sidebarElectron.noTasks":"কোনও থ্রেড নেই","sidebarElectron.noTasks.start":"একটি নতুন প্রোজেক্ট যোগ করুন","sidebarElectron.noTasksWithFilter":"কোনও থ্রেড ফিল্টারগুলির সাথে মিলছে না","sidebarElectron.pinnedThreads":"পিন করা থ্রেড","sidebarElectron.recentNavLink":"থ্রেড","sidebarElectron.recentThreads":"সাম্প্রতিক থ্রেড","sidebarElectron.removeWorkspaceRootOption":"অপসারণ করুন","sidebarElectron.renameThread":"থ্রেডের নতুন নাম দিন","sidebarElectron.renameThreadDialogAriaLabel":"থ্রেডের শিরোনাম","sidebarElectron.renameThreadDialogCancel":"বাতিল করুন","sidebarElectron.renameThreadDialogPlaceholder":"শিরোনাম যোগ করুন…","sidebarElectron.renameThreadDialogSave":"সেভ করুন","sidebarElectron.renameThreadDialogSubtitle":"এটি সংক্ষিপ্ত এবং সহজে শনাক্তযোগ্য রাখুন।","sidebarElectron.renameThreadDialogTitle":"থ্রেডের নতুন নাম দিন","sidebarElectron.renameThreadError":"থ্রেডের নতুন নাম দেওয়া যায়নি","sidebarElectron.renameWorkspaceRootOptionLabel":"ডিসপ্লে নাম","sidebarElectron.showLess":"কম দেখান","sidebarElectron.showMenu.all":"সব থ্রেড","sidebarElectron.showMenu.relevant":"প্রাসঙ্গিক","sidebarElectron.showMenu.relevantHint":"শুধুমাত্র বর্তমান শাখা, ওয়ার্কট্রি, অথবা আপনার মনোযোগের প্রয়োজন এমন অন্যান্য থ্রেডের জন্য সাম্প্রতিক থ্রেডগুলি দেখান","sidebarElectron.showMenu.title":"দেখান","sidebarElectron.showMenu.tooltip":"থ্রেড ফিল্টার করুন, সাজান এবং সংগঠিত করুন","sidebarElectron.showMenu.trigger":"সাইডবার থ্রেডগুলি ফিল্টার করুন","sidebarElectron.showMore":"বেশি দেখান","sidebarElectron.skillsRouteNavLink":"দক্ষতা","sidebarElectron.sortMenu.created":"তৈরি করা হয়েছে","sidebarElectron.sortMenu.title":"এই অনুসারে বাছাই করুন","sidebarElectron.sortMenu.updated":"আপডেট করা হয়েছে","sidebarElectron.taskNavigation":"অটোমেশন ফোল্ডার","sidebarElectron.tasksInFolder":"{folder}-এ অটোমেশন","sidebarElectron.workspaceOptions":"{folder}-এর জন্য প্রোজেক্ট অ্যাকশন","sidebarElectron.worktreeGroupTooltip":"এটি একটি গিট ওয়ার্ক-ট্রি।","skills.appsPage.createSkill":"নতুন দক্ষতা","skills.appsPage.empty.skills":"কোনও দক্ষতা পাওয়া যায়নি","skills.appsPage.search.skills":"দক্ষতা খুঁজুন","skills.appsPage.search.skills.label":"দক্ষতা খুঁজুন","skills.appsPage.section.installedApps":"অপমান করা হয়েছে","skills.appsPage.section.skills":"দক্ষতা","skills.appsPage.subheading":"Codex-কে সুপারপাওয়ার দিন।<link>আরও জানুন</link>","skills.appsPage.tab.recommended":"সুপারিশকৃত","skills.appsPage.tab.skills":"দক্ষতা","skills.card.contentsError":"দক্ষতার কন্টেন্ট লোড করা যাচ্ছে না।","skills.card.disable":"অক্ষম করুন","skills.card.disableSuccess":"{skillName} দক্ষতা অক্ষম করা হয়েছে","skills.card.disabledBadge":"অক্ষম করা হয়েছে","skills.card.enable":"সক্ষম করুন","skills.card.enableSuccess":"{skillName} দক্ষতা সক্ষম করা হয়েছে","skills.card.loadingContents":"দক্ষতার কন্টেন্ট লোড করা হচ্ছে...","skills.card.more":"আরও কাজ","skills.card.open":"খুলুন","skills.card.removeFailed":"দক্ষতা আনইনস্টল করা যায়নি","skills.card.removeSuccess":"{skillName} দক্ষতা আনইনস্টল করা হয়েছে","skills.card.toggleEnabledError":"দক্ষতা আপডেট করা যায়নি","skills.card.try":"ব্যবহার করে দেখুন","skills.card.trySkill":"দক্ষতা ব্যবহার করে দেখুন","skills.card.uninstall":"আনইনস্টল করুন","skills.hero.dotLabel":"স্লাইড {index}-এ যান","skills.hero.next":"পরবর্তী ফিচার করা দক্ষতা","skills.hero.trySkill":"দক্ষতা ব্যবহার করে দেখুন","skills.page.createSkill":"নতুন দক্ষতা","skills.page.empty":"কোনও দক্ষতা পাওয়া যায়নি","skills.page.filteredEmpty":"কোনও দক্ষতা আপনার ফিল্টারের সাথে মিলছে না","skills.page.filteredEmptyDescription":"আপনার সন্ধান বা ব্যাপ্তি ফিল্টারগুলি পরিবর্তন করে দেখুন","skills.page.heading":"দক্ষতা","skills.page.loading":"দক্ষতা লোড হচ্ছে...","skills.page.refreshSkills":"রিফ্রেশ করুন","skills.page.refreshSkillsToUseNew":"নতুন দক্ষতা(গুলি) ব্যবহার করতে রিফ্রেশ করুন","skills.page.search":"দক্ষতা খুঁজুন","skills.page.search.label":"দক্ষতা খুঁজুন","skills.page.subheading":"Codex-কে সুপারপাওয়ার দিন।<link>আরও জানুন</link>","skills.preview.copyPrompt":"প্রম্পট কপি করুন","skills.preview.examplePrompt":"উদাহরণ প্রম্পট","skills.recommended.error":"সুপারিশকৃত দক্ষতা লোড করা যাচ্ছে না","skills.recommended.install":"ইনস্টল করুন","skills.recommended.installSkill":"দক্ষতা ইনস্টল করুন","skills.recommended.installSuccess":"{skillName} দক্ষতা ইনস্টল করা হয়েছে","skills.recommended.installed":"অপমান করা হয়েছে","skills.scope.admin":"অ্যাডমিন","skills.scope.adminInstalled":"অ্যাডমিন ইনস্টল করা হয়েছে","skills.scope.builtIn":"সিস্টেম","skills.scope.personal":"ব্যক্তিগত","skills.scope.repo":"রিপোজিটরি","skills.scope.system":"সিস্টেম","skills.scope.team":"টিম","skills.scope.user":"ব্যবহারকারী","skills.section.installed":"অপমান করা হয়েছে","skills.section.recommended":"সুপারিশকৃত","story.slidingToggle.existing":"বিদ্যমান","story.slidingToggle.fromLocal":"স্থানীয় থেকে","story.slidingToggle.new":"নতুন","story.slidingToggle.toLocal":"স্থানীয় পর্যন্ত","terminal.close":"টার্মিনাল বন্ধ করুন","terminal.title":"টার্মিনাল","thinkingShimmer.default":"চিন্তাভাবনা করছে","threadEnvIcon.cloudTooltip":"এই কথোপকথনটি Codex Cloud এনভায়রনমেন্টে চলছে।","threadEnvIcon.localTooltip":"এই কথোপকথনটি লোকাল এনভায়রনমেন্টে চলছে।","threadEnvIcon.worktreeTooltip":"এই কথোপকথনটি একটি স্থানীয় git ওয়ার্কট্রিতে চলছে।","threadHeader.archiveConfirmCancel":"বাতিল করুন","threadHeader.archiveConfirmConfirm":"আর্কাইভ করুন","threadHeader.copySessionId":"সেশন কপি করা হয়েছে","threadHeader.copyWorkingDirectory":"কাজের ডিরেক্টরি কপি করুন","threadHeader.forkIntoLocal":"লোকাল-এ ফর্ক করুন","threadHeader.forkIntoWorktree":"নতুন ওয়ার্কট্রিতে ফর্ক করুন","threadHeader.forkPendingWorktreePrompt":"এই কথোপকথনটিকে একটি নতুন ওয়ার্কট্রিতে ফর্ক করুন।","threadHeader.forkPendingWorktreeTitle":"ফর্ক করা কথোপকথন","threadHeader.forkThreadError":"থ্রেড ফর্ক করা যায়নি","threadHeader.forkThreadRequiresGitRepo":"নতুন ওয়ার্কট্রিতে ফর্ক করার জন্য একটি git রিপোজিটরি প্রয়োজন","threadHeader.moreActions":"থ্রেড পদক্ষেপ","threadPage.newThread":"নতুন থ্রেড","threadPage.runAction.changeEnvironment":"এনভায়রনমেন্ট পরিবর্তন করুন","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} পদক্ষেপ","threadPage.runAction.environmentSelector.label":"পরিবেশ বেছে নিন","threadPage.runAction.label":"চালান","threadPage.runAction.missing.label":"একটি রান অ্যাকশন সেট-আপ করুন","threadPage.runAction.setup.commandLabel":"চালানোর জন্য কমান্ড","threadPage.runAction.setup.description":"Codex-কে জানান কীভাবে ডিপেনডেন্সিগুলি ইনস্টল করতে হবে এবং আপনার অ্যাপ চালু করতে হবে।","threadPage.runAction.setup.editMore":"এনভায়রনমেন্ট সেটিংস","threadPage.runAction.setup.placeholder":"যেমন: npm ইনস্টল করুন npm রান করুন","threadPage.runAction.setup.submit":"সেভ করুন এবং চালান","threadPage.runAction.setup.title":"চালান","threadPage.runAction.tooltip.withEnvironment":"{environmentName} পদক্ষেপ","threadPage.toggleDiffPanel":"ডিফ প্যানেল টগল করুন","threadPage.toggleTerminal":"টার্মিনাল টগল করুন","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ফোল্ডার খুলুন","toolSummaryForCmd.exploredFiles":"<verb>তালিকাভুক্ত</verb> ফাইল","toolSummaryForCmd.exploredFilesInPath":"{path}-এ <verb>তালিকাভুক্ত</verb> ফাইল","toolSummaryForCmd.exploringFiles":"<verb>লিস্টিং</verb> ফাইল ","toolSummaryForCmd.exploringFilesInPath":"{path}-এ <verb>লিস্টিং</verb> ফাইল","toolSummaryForCmd.ranGenericCommand":"<status>কমান্ড চালানো হয়েছে</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"{command}{timer}<status>চালানো হয়েছে</status>","toolSummaryForCmd.read":"<verb>পড়ুন</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>কমান্ড চালানো হচ্ছে</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} -এর জন্য","toolSummaryForCmd.searchedFor":"{query} <verb>খোঁজা হয়েছে</verb> ","toolSummaryForCmd.searchedForFiles":"ফাইলগুলি <verb>খোঁজা হয়েছে</verb>","toolSummaryForCmd.searchedForInPath":"{path}-এ {query} <verb>খোঁজা হয়েছে</verb> ","toolSummaryForCmd.searchingFor":"{query} <verb>খোঁজা হচ্ছে</verb>","toolSummaryForCmd.searchingForFiles":"ফাইলগুলি <verb>খোঁজা হচ্ছে</verb>","toolSummaryForCmd.searchingForInPath":"{path}-এ {query} <verb>খোঁজা হচ্ছে</verb>","traceRecording.startDetails.cancel":"বাতিল করুন","wham.diff.addComment":"মন্তব্যগুলি যোগ করুন","wham.diff.binaryFile":"বাইনারি ফাইল দেখানো হয়নি","wham.diff.noContent":"কোনও কন্টেন্ট নেই","wham.fileTag.deleted":"মুছে ফেলা হয়েছে","wham.fileTag.new":"নতুন","wham.formattedRelativeDateTime.compactDaysAgo":"{value}দিন","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ঘণ্টা","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}মিনিট","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} মাস","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} সপ্তাহ","wham.formattedRelativeDateTime.compactYearsAgo":"{value} বছর","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"আপনার কাজর উপর কাজকর্ম চলছে","wham.whamProposedTask.title":"প্রস্তাবিত কাজ","wham.whamProposedTask.useSuggestion":"পরামর্শ ব্যবহার করুন","workspaceRootDialog.addError":"প্রোজেক্ট যোগ করা যায়নি","workspaceRootDialog.cancel":"বাতিল করুন","workspaceRootDialog.confirmAdd":"প্রোজেক্ট যোগ করুন","workspaceRootDialog.confirmPick":"প্রোজেক্ট ব্যবহার করুন","workspaceRootDialog.description":"প্রোজেক্ট হিসেবে ব্যবহার করার জন্য {host}-এ একটি পথ লিখুন।","workspaceRootDialog.pathLabel":"প্রোজেক্ট পথ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"প্রোজেক্ট পথ যোগ করুন","workspaceRootDialog.title.pick":"প্রোজেক্ট পথ বেছে নিন","worktreeInitV2.cancel":"বাতিল করুন","worktreeInitV2.notification.failedTitle":"ওয়ার্কট্রি সেটআপ করা যায়নি","worktreeInitV2.output.empty":"ফলাফলের জন্য অপেক্ষা করা হচ্ছে...","worktreeInitV2.status.error":"ওয়ার্কট্রি সেটআপ করা যায়নি।","worktreeInitV2.status.running":"ওয়ার্কট্রি তৈরি করা হচ্ছে এবং সেটআপ চালানো হচ্ছে।","worktreeInitV2.status.runningFork":"এই কথোপকথনটি ফর্ক করার জন্য একটি ওয়ার্কট্রি তৈরি করা হচ্ছে।","worktreeInitV2.status.success":"ওয়ার্কট্রি প্রস্তুত।","worktreeInitV2.title":"ওয়ার্কট্রি তৈরি করা হচ্ছে","worktreeInitV2.workLocallyInstead":"পরিবর্তে লোকাল মোডে কাজ করুন","worktreeRestoreBanner.body":"ডিস্কের জায়গা বাঁচাতে এই থ্রেডের ওয়ার্কট্রি সরানো হয়েছে","worktreeRestoreBanner.missing.body":"এই থ্রেডের কার্যকরী ডিরেক্টরি আর বিদ্যমান নেই","worktreeRestoreBanner.missing.title":"বর্তমান ওয়ার্কিং ডিরেক্টরি নেই","worktreeRestoreBanner.restore.error":"ওয়ার্কট্রি: {message} পুনরুদ্ধার করা যায়নি","worktreeRestoreBanner.restore.success":"ওয়ার্কট্রি পুনরুদ্ধার করা হয়েছে","worktreeRestoreBanner.restoreCta":"ওয়ার্কট্রি পুনরুদ্ধার করুন","worktreeRestoreBanner.title":"ওয়ার্কট্রি সাফ করা হয়েছে"};Object.assign(e,globalThis.codexI18nOverrides?.["bn-BD"]);export{e as default};
 //# sourceMappingURL=bn-BD-BB6HpZtv.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopiraj","app.sidebar.hide":"Sakrij bočnu traku","app.sidebar.show":"Prikaži bočnu traku","app.sidebar.tooltip":"Uključi bočnu traku","appHeader.installUpdate":"Ažuriraj","appSunset.body":"Ova verzija aplikacije više nije podržana. Molimo preuzmite najnoviju verziju <here>ovdje</here>.","appSunset.title":"Potrebno ažuriranje","automation.updateDirective.create":"Kreiraj","automation.updateDirective.open":"Otvoreno","automation.updateDirective.untitled":"Neimenovana automatizacija","automation.updateDirective.update":"Ažuriraj","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# pokušaj} few {# pokušaja} other {# pokušaja}}","cloudTaskRow.archiveError":"Neuspješno arhiviranje zadatka","code.diff.requestChange":"Traži izmjenu","code.diffComment.cancel":"Otkaži","code.diffComment.comment":"Komentar","code.diffComment.delete":"Izbriši","code.diffComment.save":"Sačuvaj","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nisu zabilježeni pronalasci.","codex.alert.closeAriaLabel":"Zatvori","codex.appUpsellBanner.cbpApi.message":"Gradite brže uz Codex aplikaciju. Preuzmite odmah ili {learnMoreLink}.","codex.appUpsellBanner.download":"Preuzmi","codex.appUpsellBanner.freeGo.message":"Codex je uključen u vaš plan do 2. marta. Isprobajte Codex aplikaciju za bržu izgradnju.","codex.appUpsellBanner.later":"Kasnije","codex.appUpsellBanner.learnMoreLowercase":"Saznajte više","codex.appUpsellBanner.new":"Novo","codex.appUpsellBanner.proPlusBusiness.message":"Isprobajte Codex aplikaciju s 2x ograničenjima brzine do 2. aprila. Preuzmite odmah ili {learnMoreLink}.","codex.appUpsellBanner.title":"Codex aplikacija","codex.applyDropdown.header.changes":"Promjene","codex.applyDropdown.header.fileCount":"{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","codex.applyDropdown.header.rows":"redova","codex.applyDropdown.header.title":"Primjeni izmjene","codex.applyDropdown.header.workspace":"Projekat","codex.applyDropdown.results.conflicted":"{count, plural, one {1 datoteka u konfliktu} few {{count} datoteke u konfliktu:} other {{count} datoteka u konfliktu:}}","codex.applyDropdown.results.empty":"Nema kopiranih datoteka","codex.applyDropdown.results.skipped":"{count, plural, one {1 datoteka preskočena:} few {{count} datoteke preskočene:} other {{count} datoteka preskočeno:}}","codex.applyOrRevertBanner.apply":"Primijeni","codex.applyOrRevertBanner.applyMessage":"Primjeni promjene i nastavi lokalno?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ovaj zadatak je napravljen u {environment} tako da se možda neće lako primijeniti.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Izmjene napravljene u {environment} tako da se možda neće lako primijeniti.","codex.applyOrRevertBanner.reapply":"Primjeni ponovo","codex.applyOrRevertBanner.revert":"Vrati","codex.applyOrRevertBanner.revertMessage":"Vrati primjenjene promjene","codex.applyResultsDialog.applied":"Lako primjenjeno ({count})","codex.applyResultsDialog.close":"Zatvori","codex.applyResultsDialog.conflicted":"U konfliktu ({count})","codex.applyResultsDialog.noDetails":"Nema dostupnih detalja o datoteci.","codex.applyResultsDialog.skipped":"Preskočeno ({count})","codex.applyResultsDialog.title":"Primjeni rezultate","codex.archiveInfo":"Pogledaj arhivirane chatove u {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrole podataka","codex.archiveInfo.electron":"Pogledaj arhivirane chatove u {settingsLink}","codex.archiveInfo.extension":"Pregledajte arhivirane razgovore u vašem .codex folderu.","codex.archiveInfo.settingsLink":"Postavke","codex.banner.content.description":"Paralelno izvršavajte zadatke, pratite napredak bilo gdje i pregledajte PR-ove pomoću umjetne inteligencije.","codex.banner.content.headline":"Codex sve to radi.","codex.cloudTaskRow.archiveTask":"Arhiviraj zadatak","codex.cloudTaskRow.confirmArchiveTask":"Potvrdi","codex.command.feedback":"Povratni odgovor","codex.command.findInThread":"Pronađi","codex.command.forceReloadSkills":"Prisilno učitaj vještine ponovo","codex.command.logOut":"Odjavite se","codex.command.manageTasks":"Upravljaj zadacima","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Nazad","codex.command.navigateForward":"Naprijed","codex.command.newThread":"Novi niz","codex.command.nextThread":"Naredni niz","codex.command.openFolder":"Otvori folder","codex.command.openSkills":"Idite na vještine","codex.command.openThreadOverlay":"Izbaci niz","codex.command.personalitySettings":"Ličnost","codex.command.previousThread":"Prethodni niz","codex.command.settings":"Postavke","codex.command.toggleDiffPanel":"Uključiti/isključiti panel razlika","codex.command.toggleSidebar":"Uključi bočnu traku","codex.command.toggleTerminal":"Uključi/isključi terminal","codex.commandGroup.app":"Aplikacija","codex.commandGroup.configure":"Podesi","codex.commandGroup.navigation":"Navigacija","codex.commandGroup.panels":"Paneli","codex.commandGroup.skills":"Vještine","codex.commandGroup.thread":"Niz","codex.commandGroup.workspace":"Projekat","codex.commandMenu.noResults":"Nema podudaranja","codex.commandMenu.searchPlaceholder":"Pretražuj komande","codex.commandMenu.suggestedGroup":"Predloženo","codex.commandMenu.switchWorkspace":"Promijenite projekat","codex.commandMenu.title":"Komandni meni","codex.common.retry":"Pokušajte ponovo","codex.composer.searchBranches":"Pretraži grane","codex.dialog.basic.body":"Ovo je jednostavan modalni dijalog koji koristi naš omotač oko Radix Dialoga.","codex.dialog.basic.cancel":"Otkaži","codex.dialog.basic.confirm":"Potvrdi","codex.dialog.basic.open":"Otvori Dialog","codex.dialog.basic.title":"Uzorak Dialog","codex.dialog.long.close":"Zatvori","codex.dialog.long.line":"Pomjerajuća linija {index} za prikaz dugog sadržaja unutar dijaloga.","codex.dialog.long.open":"Otvori dugi Dialog","codex.dialog.long.title":"Dialog dugog sadržaja","codex.dialog.unstyled.body":"Ova priča pokazuje kako pozivaoci mogu u potpunosti kontrolisati stiliziranje sadržaja dijaloga.","codex.dialog.unstyled.open":"Otvori nestilizirani dijalog","codex.dialog.unstyled.title":"Nestilizirani sadržaj","codex.diff.openInEditorPrompt.openButton":"Otvori u uređivaču","codex.diff.openInEditorPrompt.singleLine":"Ova razlika je prevelika za prikaz ovdje.","codex.diffView.failedToDecodeBase64Diff":"Neuspješno dekodiranje base64 razlike","codex.diffView.filesChanged":"{fileCount, plural, one {# datoteka promijenjena} few {# datoteke promijenjene} other {# datoteka promijenjeno}}","codex.diffView.imagePreviewAlt":"Pregled slike","codex.diffView.imagePreviewEmpty":"Nema slike","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nema različitih datoteka","codex.diffView.pdfPreview.nextPage":"Naredna stranica","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Prethodna stranica","codex.diffView.pdfPreviewEmpty":"Nema PDF pregleda","codex.diffView.pdfPreviewError":"Nije moguće prikazati pregled PDF-a","codex.diffView.richPreviewDisable":"Onemogući puni pregled","codex.diffView.richPreviewEnable":"Omogući puni pregled","codex.diffView.richPreviewLoading":"Učitavanje pregleda...","codex.diffView.richPreviewToggle":"Uključiti/isključiti puni pregled","codex.diffView.switchToUnified":"Prebacite na unificiranu razliku","codex.environmentSelector.noEnvironment":"Nema okruženja","codex.environments.environmentSettings":"Postavke okruženja","codex.environments.learnMore":"Saznajte više","codex.environments.listError":"Neuspješno učitavanje okruženja.","codex.environments.noEnvironmentsFound":"Nema pronađenih okruženja","codex.environments.searchError":"Neuspješno pretraživanje okruženja.","codex.errorBoundary.genericError":"Ups, došlo je do greške","codex.errorBoundary.goHome":"Pokušajte ponovo","codex.file.patch.missing":"Nije moguće napraviti zakrpu za ovu datoteku.","codex.gallery.automations.cwdLabel":"Projekti","codex.gallery.automations.nameLabel":"Naziv","codex.gallery.automations.namePlaceholder":"Napravi sažetak zadatka","codex.gallery.automations.promptLabel":"Upit","codex.gallery.automations.promptPlaceholder":"Opišite šta bi Codex trebao uraditi","codex.gallery.dialogs.automation.label":"Dijalog za automatizaciju","codex.gallery.dialogs.basic.body":"Koristite ovaj raspored za jednostavne potvrde ili kratke obrasce.","codex.gallery.dialogs.basic.cancel":"Otkaži","codex.gallery.dialogs.basic.confirm":"Potvrdi","codex.gallery.dialogs.basic.label":"Osnovni dijalog","codex.gallery.dialogs.basic.title":"Uzorak dijalog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Opišite problem","codex.gallery.dialogs.feedbackSubmission.bad":"Loš rezultat","codex.gallery.dialogs.feedbackSubmission.bug":"Kvar","codex.gallery.dialogs.feedbackSubmission.good":"Dobar rezultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Uključite aktuelne Codex dnevnike sesija","codex.gallery.dialogs.feedbackSubmission.label":"Povratni odgovor poslat","codex.gallery.dialogs.feedbackSubmission.other":"Ostalo","codex.gallery.dialogs.feedbackSubmission.placeholder":"Opišite problem ovdje","codex.gallery.dialogs.feedbackSubmission.submit":"Pošalji","codex.gallery.dialogs.feedbackSubmission.title":"Povratni odgovor","codex.gallery.dialogs.feedbackSuccess.body":"Povratni odgovor otpremljen. Ako problem i dalje postoji, otvorite GitHub problem ili spomenite ID teme u postojećem otvorenom problemu:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Odbaci","codex.gallery.dialogs.feedbackSuccess.label":"Anketa za povratni odgovor","codex.gallery.dialogs.feedbackSuccess.title":"Povratni odgovor otpremljen","codex.gallery.dialogs.gitApplyResults.applied":"Lako primjenjeno (2)","codex.gallery.dialogs.gitApplyResults.close":"Zatvori","codex.gallery.dialogs.gitApplyResults.conflicted":"U konfliktu (1)","codex.gallery.dialogs.gitApplyResults.label":"Primjeni rezultate","codex.gallery.dialogs.gitApplyResults.title":"Primjeni rezultate","codex.gallery.dialogs.gitPushError.body":"Preuzmi najnovije promjene ili prisilno izvrši push ako znaš da je sigurno prebrisati udaljenu historiju.","codex.gallery.dialogs.gitPushError.cancel":"Otkaži","codex.gallery.dialogs.gitPushError.force":"Prisilno pritiskanje","codex.gallery.dialogs.gitPushError.label":"Push greška","codex.gallery.dialogs.gitPushError.subtitle":"Vaša grana se nalazi iza origin/main.","codex.gallery.dialogs.gitPushError.title":"Neuspješno potvrđivanje promjena","codex.gallery.dialogs.gitRevert.cancel":"Otkaži","codex.gallery.dialogs.gitRevert.confirm":"Vrati","codex.gallery.dialogs.gitRevert.label":"Vrati izmjene","codex.gallery.dialogs.gitRevert.skip":"Ne pitaj me ponovo","codex.gallery.dialogs.gitRevert.subtitle":"Ova radnja uklanja sve ove izmjene.","codex.gallery.dialogs.gitRevert.title":"Vratiti izmjene?","codex.gallery.dialogs.longForm.label":"Dugi dijalog","codex.gallery.dialogs.proseModal.body":"Ovaj modalni stil se koristi za duže instrukcije, uvođenje u rad ili blokove bogatog sadržaja.","codex.gallery.dialogs.proseModal.close":"Zatvori","codex.gallery.dialogs.proseModal.subtitle":"Podijelite ovdje duže upute ili dokumentaciju za obrazac.","codex.gallery.dialogs.proseModal.title":"Zatvori modal","codex.gallery.dialogs.submitBlocked.label":"Pošalji blokiran","codex.gallery.dialogs.submitBlocked.message":"Vaša poruka nije mogla biti poslana jer projekat nije dostupan.","codex.gallery.dialogs.submitBlocked.ok":"U redu","codex.gallery.dialogs.submitBlocked.title":"Neuspjelo slanje poruke","codex.gallery.dialogs.title":"Dijalozi","codex.gallery.dropdown.filterPlaceholder":"Filtriraj stavke","codex.gallery.dropdowns.actionRow":"Akcioni redovi","codex.gallery.dropdowns.actionRow.disabled":"Onemogućena radnja","codex.gallery.dropdowns.actionRow.primary":"Primarna radnja","codex.gallery.dropdowns.actionRow.secondary":"Sekundarna radnja","codex.gallery.dropdowns.actionRow.trigger":"Prikaži radnje","codex.gallery.dropdowns.basic":"Osnovni padajući meni","codex.gallery.dropdowns.basic.newFile":"Nova datoteka","codex.gallery.dropdowns.basic.newFolder":"Novi folder","codex.gallery.dropdowns.basic.openSettings":"Otvori postavke","codex.gallery.dropdowns.basic.title":"Brze radnje","codex.gallery.dropdowns.basic.trigger":"Otvori meni","codex.gallery.dropdowns.basic.upload":"Učitaj","codex.gallery.dropdowns.panel":"Panel površina","codex.gallery.dropdowns.panel.apply":"Primijeni","codex.gallery.dropdowns.panel.body":"Pregledajte razlike i primijenite ih na svoj radni prostor.","codex.gallery.dropdowns.panel.preview":"Pregled","codex.gallery.dropdowns.panel.title":"Primjeni izmjene","codex.gallery.dropdowns.panel.trigger":"Otvori panel","codex.gallery.dropdowns.search":"Padajući meni s mogućnošću pretraživanja","codex.gallery.dropdowns.search.first":"Alpha kanal","codex.gallery.dropdowns.search.second":"Beta grana","codex.gallery.dropdowns.search.third":"Kandidat za objavu","codex.gallery.dropdowns.search.trigger":"Filtriraj stavke","codex.gallery.dropdowns.submenu":"Padajući meni sa podmenijem","codex.gallery.dropdowns.submenu.optionA":"Projekat alfa","codex.gallery.dropdowns.submenu.optionB":"Projekat beta","codex.gallery.dropdowns.submenu.optionC":"Projekat gamma","codex.gallery.dropdowns.submenu.primary":"Dodijeli vlasnika","codex.gallery.dropdowns.submenu.secondary":"Pomjeri na","codex.gallery.dropdowns.submenu.tertiary":"Arhiviraj","codex.gallery.dropdowns.submenu.trigger":"Odaberi radnju","codex.gallery.dropdowns.title":"Padajući meniji","codex.gallery.inbox.automations.close":"Zatvori","codex.gallery.inbox.automations.popover.cardTitle":"Upravljaj automatizacijama","codex.gallery.inbox.automations.popover.dialogTitle":"Upravljaj automatizacijama","codex.header.settingsTooltip":"Postavke","codex.hunk.patch.error":"Neuspješno postavljanje na scenu","codex.hunk.patch.missing":"Nije moguće napraviti zakrpu za ovaj dio.","codex.hunk.patch.partialSuccess":"Parcijalni uspjeh","codex.hunk.patch.revertError":"Neuspješno povlačenje sa scene","codex.hunk.patch.revertSuccess":"Uspješno povlačenje sa scene","codex.hunk.patch.success":"Uspješno postavljanje na scenu","codex.legal.autonomy.details":"Za više detalja, pogledajte {link}","codex.legal.autonomy.details.link":"Codex dokumenti","codex.legal.autonomy.title":"Odlučite koliko nezavisnosti želite dodijeliti","codex.legal.backButton":"Nazad","codex.legal.cloud.taskOne.meta":"openai/agi · 12. oktobar","codex.legal.cloud.taskOne.title":"Objasnite repozitorij novom dizajneru","codex.legal.cloud.taskThree.meta":"openai/codex · 8. oktobar","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Kreiraj temu darkmode","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. oktobar","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ispravi grešku prilikom pristupanja","codex.legal.continue.apikey":"Nastavi","codex.legal.continueButton":"Sljedeće","codex.legal.copilot.details":"Koristi vaš Copilot plan za sve pozive modela, naplatu i ograničenja cijena. Korištenje Codex ekstenzije podliježe {oaiTos} i {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHub uslovi pružanja usluga","codex.legal.copilot.oaiTosLink":"OpenAI Codex uslovi pružanja usluga","codex.legal.copilot.title":"Pokreće GitHub Copilot","codex.legal.mistakes.review":"Pregledaj kod koji ispisuje i komande koje pokreće","codex.legal.mistakes.title":"Codex može napraviti greške","codex.legal.powered.details":"Koristi ograničenja cijena za vaš plan i {link}","codex.legal.powered.details.link":"preference podataka za obuku","codex.legal.powered.title":"Pokreće vaš ChatGPT račun","codex.legal.step.cloud.subtitle":"Pošaljite zadatke Codexu da ih pokreće u pozadini tako da možete ostati fokusirani i brže se kretati.","codex.legal.step.cloud.title":"Predajte Codexu u cloudu","codex.legal.step.intro.subtitle":"Codex upravlja, uređuje, pokreće komande i izvršava testove direktno u vašem repozitoriju. Pokreće vaš ChatGPT račun.","codex.legal.step.intro.title":"Codex u vašem IDE-u","codex.legal.step.todo.subtitle":"Napišite TODO komentar i pretvorite ga u Codex zadatak uz jedan klik.","codex.legal.step.todo.title":"Pretvorite TODOs u Codex zadatke","codex.legal.todo.heading":"// TODO: implementiraj shemu","codex.localConversation.closeImagePreview":"Sačuvan pregled slike","codex.localConversation.userImageAttachment":"Prilog korisnika","codex.localTaskRow.archiveTask":"Arhivski niz","codex.localTaskRow.awaitingApproval":"Odobrenje na čekanju","codex.localTaskRow.awaitingResponse":"Odgovor na čekanju","codex.localTaskRow.confirmArchiveTask":"Potvrdi","codex.loggedOut.apiKeyPrompt.cancel":"Otkaži","codex.loggedOut.apiKeyPrompt.confirm":"U redu","codex.loggedOut.apiKeyPrompt.getKey":"Dobijte API ključ","codex.loggedOut.apiKeyPrompt.inputLabel":"Unesite svoj OpenAI API ključ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloud zadaci onemogućeni uz API ključ","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloud zadaci onemogućeni uz Copilot i API ključ","codex.loggedOut.signIn":"Prijavite se pomoću ChatGPT-a","codex.loggedOut.signIn.cancel":"Otkaži prijavu","codex.loggedOut.signInWithCopilot":"Prijavite se pomoću GitHub Copilota","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Koristite API ključ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} alat","codex.mcpTool.collapsedLabel.verb.called":"Pozvano","codex.mcpTool.collapsedLabel.verb.calling":"Pozivanje","codex.mcpTool.embeddedResource.contentLabel":"Sadržaj","codex.mcpTool.embeddedResource.mimeTypeLabel":"Vrsta MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Alat nije vratio sadržaj","codex.mcpTool.rawPayloadHeading":"Neobrađen {server}.{tool} alat za pokretanje sadržaja","codex.menu.recent":"Nedavno","codex.menu.seeAllHistory":"Pregledaj cijelu historiju","codex.modelCapacityBanner.headline.noReset":"{modelName} je trenutno popunjen. Pokušajte ponovo kasnije ili započnite novi razgovor s drugim modelom.","codex.modelCapacityBanner.headline.withReset":"{modelName} je trenutno popunjen. Pokušajte ponovo kasnije nakon {resetDate} ili započnite novi razgovor s drugim modelom.","codex.modelCapacityBanner.title":"Odabrani model je popunjen","codex.patch.change.contentsDeleted":"Sadržaj izbrisan","codex.patch.change.created":"Kreirano","codex.patch.change.created-file":"Kreirana datoteka","codex.patch.change.creating":"Kreiranje","codex.patch.change.deleted":"Obrisano","codex.patch.change.deleted-file":"Obrisana datoteka","codex.patch.change.deleting":"Brisanje","codex.patch.change.edited":"Izmijenjeno","codex.patch.change.edited-file":"Izmijenjena datoteka","codex.patch.change.editing":"Izmjena","codex.patch.change.noChanges":"Nema promjena","codex.patch.change.rejected-add":"Odbijeno","codex.patch.change.rejected-delete":"Odbijeno","codex.patch.change.rejected-edit":"Odbijeno","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} od {total} zadataka kompletirano","codex.plan.todoListCreated":"Kreirana lista zadataka sa {total} zadataka","codex.profileDropdown.apiKeyAuth":"Prijavljen/a s API ključem","codex.profileDropdown.codexSettings":"Postavke Codexa","codex.profileDropdown.copilotAuth":"Prijavljen/a s Copilotom","codex.profileDropdown.defaultAccountTitle":"Zadani račun","codex.profileDropdown.enterBehavior":"{modifierSymbol} + pritisnite Enter za slanje dugih upita","codex.profileDropdown.enterBehaviorError":"Ažuriranje postavki nije uspjelo","codex.profileDropdown.getPlus":"Nadogradite za veća ograničenja","codex.profileDropdown.keyboardShortcuts":"Prečice na tastaturi","codex.profileDropdown.language":"Jezik","codex.profileDropdown.languageDefault":"Automatsko prepoznavanje","codex.profileDropdown.languageSearchPlaceholder":"Pretražuj jezike","codex.profileDropdown.languageUpdateError":"Neuspjelo ažuriranje jezika","codex.profileDropdown.logOut":"Odjavite se","codex.profileDropdown.mcp":"Postavke MCP-a","codex.profileDropdown.openConfigToml":"Otvori config.toml","codex.profileDropdown.openConfigToml.wsl":"Otvori config.toml u WSL okruženju","codex.profileDropdown.openExtensionSettings":"Otvori postavke","codex.profileDropdown.openMcpSettings":"Otvori postavke MCP-a","codex.profileDropdown.openOnStartup":"Otvori na pokretanju","codex.profileDropdown.openOnStartupError":"Ažuriranje postavki nije uspjelo","codex.profileDropdown.openSkillsSettings":"Otvori podešavanja vještina","codex.profileDropdown.personalAccountTitle":"Lični račun","codex.profileDropdown.queueFollowUps":"Praćenje čekanja","codex.profileDropdown.queueFollowUpsError":"Ažuriranje postavki nije uspjelo","codex.profileDropdown.readDocs":"Čitaj dokumente","codex.profileDropdown.readSkillsDocs":"Čitaj dokumente","codex.profileDropdown.runInWsl":"Pokreni u WSL-u","codex.profileDropdown.runInWslError":"Ažuriranje postavki nije uspjelo","codex.profileDropdown.runInWslTooltip":"Pokreće Codex unutar WSL-a. Preporučeno za poboljšanu sigurnost izoliranog okruženja i bolju učinkovitost.","codex.profileDropdown.settings":"Postavke IDE-a","codex.profileDropdown.settingsPage":"Postavke","codex.profileDropdown.signInWithOpenAI":"Prijavite se pomoću ChatGPT-a","codex.profileDropdown.skills":"Podešavanje vještina","codex.profileDropdown.switchToCopilotAccount":"Koristite Copilot račun","codex.profileDropdown.switchToOpenAIAccount":"Koristite OpenAI račun","codex.profileDropdown.todoCodelens":"Popravite TODO komentare","codex.profileDropdown.todoCodelensError":"Ažuriranje postavki nije uspjelo","codex.profileDropdown.windowsDocumentation":"Windows dokumentacija","codex.profileFooter.signedInFallback":"Postavke","codex.profileFooter.upgrade":"Nadogradi","codex.recentTasksMenu.clearSearch":"Izbriši pretraživanje","codex.recentTasksMenu.cloud":"Cloud zadaci","codex.recentTasksMenu.count":"{count, plural, =0 {Nema zadataka u toku} one {# zadatak u toku} few {# zadataka u toku} other {# zadataka u toku}}","codex.recentTasksMenu.empty":"Još nema nizova","codex.recentTasksMenu.errorCloud":"Neuspjelo učitavanje zadataka.","codex.recentTasksMenu.errorCloud.inline":"Neuspješno učitavanje cloud zadataka.","codex.recentTasksMenu.filterAll":"Sve","codex.recentTasksMenu.filterCloudTasks":"Filtriraj cloud zadatke","codex.recentTasksMenu.filterTooltip":"Filtriraj zadatke po okruženju","codex.recentTasksMenu.local":"Lokalni zadaci","codex.recentTasksMenu.recent":"Svi zadaci","codex.recentTasksMenu.search":"Pretražuj nedavne zadatke","codex.recentTasksMenu.searchEmpty":"Nema rezultata","codex.recentTasksMenu.tooltip":"Historija zadataka","codex.recentTasksMenu.trigger":"Nedavni zadaci. {count, plural, one {# u toku} few {# u toku} other {# u toku}}","codex.remoteConversation.applyDiff.applyCta":"Primjeni izmjene","codex.remoteConversation.applyDiff.dropdownTitle":"Primjeni izmjene na lokalni ogranak","codex.remoteConversation.applyDiff.revertCta":"Vrati izmjene","codex.remoteConversation.closeImagePreview":"Sačuvan pregled slike","codex.remoteConversation.codexCloudTask":"Vi gledate <u>Codex cloud</u> zadatak ","codex.remoteConversation.errorWithMessage":"Greška: {message}","codex.remoteConversation.loadingImage":"Učitavanje slike","codex.remoteConversation.openInWeb":"Otvori na internetu","codex.remoteConversation.streaming":"Početak","codex.remoteConversation.turnFailed":"Došlo je do greške prilikom ovog zadatka","codex.remoteConversation.turnTab.loading":"Pokušaj {number}","codex.remoteConversation.turnTab.title":"Pokušaj {number}","codex.remoteConversation.userImageAttachment":"Prilog korisnika","codex.remoteConversation.viewPreviousTurns":"Otvori na internetu","codex.remoteConversation.viewPreviousTurns.buttonText":"Otvoreno","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Otvori na internetu","codex.review.copyGitApplyCommand":"Kopiraj git apply komandu","codex.review.copyGitApplyCommand.toast":"Primjeni kopirani git komandu na klipbord","codex.review.diffTooLarge.description":"Ova razlika je prevelika za prikaz u Pregledu.","codex.review.diffTooLarge.title":"Ova razlika je prevelika za prikaz","codex.review.expandOrCollapseDiffButton.collapse":"Skupi sve razlike","codex.review.expandOrCollapseDiffButton.expand":"Proširi sve razlike","codex.review.expandOrCollapseDiffMenu.collapse":"Skupi sve razlike","codex.review.expandOrCollapseDiffMenu.expand":"Proširi sve razlike","codex.review.fileSearch.clear":"Obriši filtere datoteke","codex.review.fileSearch.empty":"Nema snova koji se podudaraju trenutnom filteru.","codex.review.fileSearch.label":"Datoteke filtera","codex.review.fileSearch.placeholder":"Datoteke filtera...","codex.review.filesChanged":"{num, plural, =0 {Nema promijenjenih datoteka} one {# datoteka promijenjena} few {# datoteke promijenjene} other {# datoteka promijenjeno}}","codex.review.find.loadMore":"Učitaj više podudaranja","codex.review.fullReview.hideFileTree":"Sakrij stablo datoteke","codex.review.fullReview.showFileTree":"Prikaži stablo datoteke","codex.review.header.moreOptions":"Pregled opcija","codex.review.largeDiff.banner":"Ustanovljena velika razlika - prikazuje jednu datoteku istovremeno.","codex.review.loadFullFiles.disable":"Ne učitavajte cijele datoteke","codex.review.loadFullFiles.enable":"Učitavajte cijele datoteke","codex.review.noDiff":"Kodirane stavke će se pojaviti ovdje","codex.review.noDiff.gitInit.createRepository":"Kreiraj git repozitorij","codex.review.noDiff.gitInit.creating":"Kreiranje...","codex.review.noDiff.gitInit.error":"Git inicijalizacija nije uspjela: {message}","codex.review.noDiff.gitInit.success":"Nema pronađenog git repozitorija","codex.review.noDiff.gitRepoRequired.description":"Praćenje i poništavanje promjena u ovom projektu","codex.review.noDiff.gitRepoRequired.title":"Kreiraj Git repozitorij","codex.review.noDiff.orNoLongerAvailable":"ili posljednje razlike više nisu dostupne","codex.review.noDiff.reverted":"Posljednji pokušaj je vraćen","codex.review.noDiff.revertedOrCommitted":"Posljednji pokušaj je ili vraćen ili iskorišten","codex.review.refreshGitQueries":"Osvježi","codex.review.revert.file.error":"Neuspješno vraćanje {path}","codex.review.revert.file.partialSuccess":"Parcijalno vraćeno {path}","codex.review.revert.file.success":"Vraćeno {path}","codex.review.revert.hunk.error":"Neuspješno vraćanje dijela {hunkNumber} u {path}","codex.review.revert.hunk.partialSuccess":"Parcijalno vraćanje dijela{hunkNumber}u {path}","codex.review.revert.hunk.success":"Vraćanje dijela {hunkNumber} u {path}","codex.review.revert.section.error":"Neuspješno vraćanje dijela","codex.review.revert.section.partialSuccess":"Dio parcijalno vraćen","codex.review.revert.section.success":"Dio vraćen","codex.review.revertDialog.cancel":"Otkaži","codex.review.revertDialog.confirm":"Potvrdi","codex.review.revertDialog.message":"Ova radnja uklanja sve ove izmjene.","codex.review.revertDialog.skip":"Ne pitaj me ponovo","codex.review.revertDialog.title":"Vratiti izmjene?","codex.review.richPreview.disable":"Onemogući puni pregled","codex.review.richPreview.enable":"Omogući puni pregled","codex.review.source.cloud":"Cloud izmjene","codex.review.source.local.all":"Sve promjene grana","codex.review.source.local.lastTurn":"Najnoviji krug izmjena","codex.review.source.local.uncommitted":"Nepotvrđene izmjene","codex.review.source.worktree":"Nepotvrđene promjene rasporeda rada","codex.review.stageFilter.empty.staged.description":"Prihvati izmjene da ih prikažeš","codex.review.stageFilter.empty.staged.title":"Nema promjena za prikaz","codex.review.stageFilter.empty.unstaged.description":"Kodirane stavke će se pojaviti ovdje","codex.review.stageFilter.empty.unstaged.title":"Nema neprikazanih izmjena","codex.review.stageFilter.staged":"Postavljeno na scenu","codex.review.stageFilter.staged.count":"Postavljeno na scenu · {count}","codex.review.stageFilter.unstaged":"Skinuto sa scene","codex.review.stageFilter.unstaged.count":"Skinuto sa scene · {count}","codex.review.switchToSplit":"Prebacite na podjelu razlika","codex.review.switchToUnified":"Prebacite na unificiranu razliku","codex.review.toggleDiffView":"Uključiti/isključiti pregled razlika","codex.review.wordDiffs.disable":"Onemogućiti razlike u tekstu","codex.review.wordDiffs.enable":"Omogućiti razlike u tekstu","codex.review.wrap.disable":"Onemogućiti prelamanje teksta","codex.review.wrap.enable":"Omogućiti prelamanje teksta","codex.section.patch.missing":"Nije moguće napraviti zakrpu za ovaj dio.","codex.shell.collapse":"Skupi okvir","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kopiran sadržaj okvira","codex.shell.copy.copyTooltip":"Kopiraj sadržaj okvira","codex.shell.copyCommand":"Kopiraj komandu","codex.shell.copyOutput":"Kopiraj izlaz","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Proširi okvir","codex.shell.name":"Okvir","codex.shell.noOutput":"Nema izlaza","codex.signInFailed.message":"Prijava nije uspjela: {rawMessage}","codex.stories.toast.show":"Pokaži zdravicu","codex.stories.tooltip.basic":"Ovo je opis alata","codex.stories.tooltip.hoverMe":"Zadrži pokazivač iznad mene","codex.stories.tooltip.largerOffset":"Ovaj opis alata ima veći pomak","codex.stories.tooltip.offsetButton":"Veći pomak","codex.stories.tooltip.shortcutButton":"Uz prečicu","codex.stories.tooltip.withShortcut":"Uključi/isključi terminal","codex.taskRow.title":"Novi niz","codex.taskRowLayout.confirm":"Potvrdi","codex.threadFindBar.chatFilter":"Pretražuj razgovore","codex.threadFindBar.close":"Zatvori pretragu","codex.threadFindBar.diffFilter":"Pretražuj razlike","codex.threadFindBar.label":"Nađi u nizu","codex.threadFindBar.nextResult":"Naredni rezultat","codex.threadFindBar.noResults":"0 rezultata","codex.threadFindBar.placeholder":"Pretraži niz...","codex.threadFindBar.placeholder.extension":"Pretraži niz...","codex.threadFindBar.placeholder.review":"Pretražuj razliku...","codex.threadFindBar.placeholder.review.extension":"Pretražuj razliku...","codex.threadFindBar.previousResult":"Prethodni rezultat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# datoteka promijenjena} few {# datoteke promijenjene} other {# datoteka promijenjeno}}","codex.unifiedDiff.inlineLargeFile":"Preveliko za renderiranje u tekstu","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Poništi","codex.unifiedDiff.revertPatchError":"Neuspješno vraćanje promjena","codex.unifiedDiff.revertPatchSuccess":"Promjene vraćene","codex.unifiedDiff.reviewChangesSuffix":"promjene","codex.unifiedDiff.reviewShort":"Pregledaj","codex.unifiedDiff.viewDiffTooltip":"Pregledaj","codex.upsellBanner.business.headline":"Da biste odmah dobili veći pristup, pošaljite zahtjev svom administratoru, ili sačekajte do {resetDate}.","codex.upsellBanner.cbp.headline":"Da biste odmah dobili veći pristup, pošaljite zahtjev svom administratoru.","codex.upsellBanner.cta.addCredits":"Dodaj zasluge","codex.upsellBanner.cta.upgradeAccount":"Nadogradi","codex.upsellBanner.cta.viewUsage":"Pogledaj korištenje","codex.upsellBanner.freeOrGo.headline":"Vaše ograničenje brzine se resetuje {resetDate}. Da biste nastavili koristiti Codex, nadogradite na Plus već danas.","codex.upsellBanner.general.headline":"Vaše ograničenje brzine se resetuje{resetDate}.","codex.upsellBanner.general.title":"Nestalo vam je Codex poruka","codex.upsellBanner.plus.headline":"Vaše ograničenje brzine se resetuje {resetDate}. Da biste nastavili koristiti Codex, dodajte kredite ili nadogradite na Pro verziju već danas.","codex.upsellBanner.pro.headline":"Vaše ograničenje brzine se resetuje {resetDate}. Dodajte kredite da biste odmah nastavili koristiti Codex.","codex.userMessage.autoResolveSync":"Automatsko rješavanje konflikta","codex.userMessage.commentCount":"{count, plural, one {# komentar} few {# komentara} other {# komentara}}","codex.userMessage.copiedAriaLabel":"Kopirano","codex.userMessage.copiedTooltip":"Kopirano","codex.userMessage.copyAriaLabel":"Kopiraj poruku","codex.userMessage.copyTooltip":"Kopiraj","codex.userMessage.implementPlan":"Plan implementacije","codex.userMessage.noContent":"(Nema sadržaja)","codex.userMessage.priorConversation":"Reference prethodnog razgovora","codex.userMessage.reviewMode":"Način rada pregleda","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"za {query}","codex.webSearch.summary.verb.completed":"Pretraživan internet","codex.webSearch.summary.verb.inProgress":"Pretraživanje interneta","codex.windowsInstallWslBanner.dismiss":"Odbaci","codex.windowsInstallWslBanner.installWslCta":"Omogući sandbox","codex.windowsInstallWslBanner.learnMore":"Saznajte više","codex.windowsSandboxBanner.content":"Agentski način rada koristi eksperimentalni sandbox na Windowsu za ograničavanje sistema datoteka i pristup mreži. {sandboxLink}","codex.windowsSandboxBanner.title":"Omogućite sandbox za agentski način rada","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Postavke Windowsa","codexUpgradeModal.body":"Codex sada pokreće GPT-5.2-Codex, naš najnoviji model kodiranja na granici agentskog pristupa. Što se tiče kodiranja {link}, on predstavlja dalje poboljšanje u odnosu na GPT-5.2.","codexUpgradeModal.close":"Zatvori","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"pametniji i brži","codexUpgradeModal.title":"Codex je upravo dobio ažuriranje","codexUpgradeModal.tryNewModel":"Isprobajte sada GPT-5.2-Codex","codexUpgradeModal.useExistingModel":"Nastavite s aktuelnim modelom","commentAttachments.numComments":"{count, plural, one {# komentar} few {# komentara} other {# komentara}}","commentAttachments.removeAriaLabel":"Uklonite komentare iz priloga","common.close":"Zatvori","composer.addContext.openFilePickerError":"Nemoguće otvoriti birač datoteka","composer.addContextDropdown.ariaLabel":"Otpremite datoteke i još mnogo toga","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Otpremite datoteke i još mnogo toga","composer.addPhotosAndFiles":"Dodaj slike i datoteke","composer.atMentionList.emptyQuery":"Unesite za pretraživanje datoteka","composer.atMentionList.loading":"Pretraživanje...","composer.atMentionList.noResults":"Nema rezultata","composer.attemptsSelector.option":"{count, plural, one {# verzija} few {# verzija} other {# verzija}}","composer.attemptsSelector.tooltip":"Broj paralelnih upita za Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Zaustavi","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokalno","composer.cloudFollowUp.whereRun":"Gdje bi se ovo praćenje trebalo pokrenuti?","composer.cloudTaskCreationError":"Greška pri kreiranju cloud zadatka","composer.cloudTaskError":"Greška prilikom kreiranja zadatka","composer.contextWindow.autoCompactionTooltipLine1":"Codex automatski sažima svoj kontekst","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Kontekst prozor:","composer.contextWindowUsageStatusFull":"{usage}% popunjeno","composer.contextWindowUsageStatusLeft":"{usage}% iskorišteno ({remaining}% preostalo)","composer.contextWindowUsageTooltip":"{usedTokens}hiljada / {contextWindow}hiljada tokena iskorišteno","composer.customCliTooltip":"Korištenje prilagođene CLI izvršne datoteke","composer.dictation.aria":"Diktiraj","composer.dictation.cancel.aria":"Zaustavi diktiranje","composer.dictation.cancel.tooltip":"Zaustavi diktiranje","composer.dictation.startError":"Nemoguće pokrenuti diktiranje","composer.dictation.submit.aria":"Transkribuj i pošalji","composer.dictation.submit.tooltip":"Transkribuj i pošalji","composer.dictation.tooltip":"Drži za diktiranje","composer.dictation.transcribeError":"Nemoguće izvršiti transkripciju audiozapisa","composer.dictation.unsupported":"Diktiranje nije dostupno na ovom uređaju","composer.dropOverlay.holdShift":"Držite{key} za ispuštanje","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Kreiraj novi","composer.environmentSelector.error":"Greška pri učitavanju okruženja","composer.environmentSelector.goBack":"Nazad na uređivač","composer.environmentSelector.title":"Odaberi okruženje","composer.environmentSelector.tooltip":"Odaberite cloud okruženje","composer.feedbackSlashCommand.title":"Povratni odgovor","composer.filePicker.selectFile":"Odaberi datoteku","composer.filePicker.selectFiles":"Odaberi datoteke","composer.followerTooltip":"Da biste nastavili, vratite se na prozor u kojem je ovaj razgovor započeo.","composer.footer.branchSwitch.checkoutError":"Neuspjela promjena grane: {message}","composer.footer.branchSwitch.createAndCheckout":"Kreiraj i naplati novu granu…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Potvrdite promjene da biste kreirali i preuzeli novu granu","composer.footer.branchSwitch.createBranchError":"Neuspješno kreiranje grane: {message} ","composer.footer.branchSwitch.createDialog.ariaLabel":"Naziv grane","composer.footer.branchSwitch.createDialog.branchExistsError":"Grana već postoji.","composer.footer.branchSwitch.createDialog.close":"Zatvori","composer.footer.branchSwitch.createDialog.createAndCheckout":"Kreiraj i naplati","composer.footer.branchSwitch.createDialog.placeholder":"nova-grana","composer.footer.branchSwitch.createDialog.title":"Kreiraj i naplati granu","composer.footer.branchSwitch.createDialog.trailingSlashError":"Naziv grane ne može završavati sa “/”.","composer.footer.branchSwitch.tooltip":"Promijeni granu","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Podnesite promjene u {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}} da provjerite {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Podnesi","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"promjene u {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}} da provjerite {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Otkaži","composer.footer.branchSwitch.uncommittedDialog.commit":"Potvrdi i prebaci granu…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Vaše promjene u sljedećim datotekama će biti prepisane prilikom odjave:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Molimo vas da potvrdite promjene kako biste nastavili","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"odabranu granu","composer.footer.branchSwitch.uncommittedDialog.title":"Potvrdite izmjene za promjenu grane","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nepodnešeno: {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","composer.forkSlashCommand.description":"Prebaci ovaj niz u lokalni ili novi raspored rada","composer.forkSlashCommand.option.local.description":"Nastavi u novom lokalnom nizu","composer.forkSlashCommand.option.local.title":"Prebaci u lokalni","composer.forkSlashCommand.option.worktree.description":"Nastavi u novom rasporedu rada","composer.forkSlashCommand.option.worktree.title":"Prebaci u novi raspore rada","composer.forkSlashCommand.title":"Formiraj","composer.imageInputsUnsupported":"Ovaj model ne podržava slikovne unose. Probajte drugačiji model.","composer.imageUploadFailed":"Neuspjelo učitavanje slike","composer.includeIdeContextDropdown":"Uključi IDE kontekst","composer.includeIdeContextDropdown.ariaLabel":"Uključi IDE kontekst","composer.localCwdDropdown.addWorkspaceRoot":"Dodaj novi projekat","composer.localCwdDropdown.noActiveRoot":"Odaberite svoj projekat","composer.localCwdDropdown.noResults":"Nema pronađenih foldera","composer.localCwdDropdown.title":"Odaberite svoj projekat","composer.localTaskError":"Greška pri pokretanju razgovora","composer.mcpSlashCommand.description":"Prikaži MCP status servera","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nije autentificirano","composer.mcpStatus.authOauth":"Autentificirano (OAuth)","composer.mcpStatus.authToken":"Autentificirano (API ključ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zatvori","composer.mcpStatus.disabled":"Onemogućeno","composer.mcpStatus.emptyLabel":"Serveri:","composer.mcpStatus.emptyValue":"Nisu podešeni MCP serveri","composer.mcpStatus.enabled":"Omogućeno","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Nemoguće učitati MCP status","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Zamijeni način rada","composer.mode.agentMode.custom":"Prilagođeno","composer.mode.agentMode.custom.dropdownLabel":"Prilagođeno","composer.mode.agentMode.custom.option":"Otvori (config.toml)","composer.mode.agentMode.custom.optionLabel":"Otvori (config.toml)","composer.mode.agentMode.customInfo.cancel":"Otkaži","composer.mode.agentMode.customInfo.cli":"Možete prilagoditi ove postavke iz CLI-a ili uređivanjem datoteke direktno.","composer.mode.agentMode.customInfo.confirm":"Koristite prilagođeni način rada","composer.mode.agentMode.customInfo.description":"Prilagođeni način rada se odnosi na odobrenje i sanbox pravila definisana u vašoj <link>config.toml</link> datoteci.","composer.mode.agentMode.customInfo.docs":"Saznajte više o podešavanju odobrenja i pravila izoliranog okruženja u <link>izvršnim dokumentima o okruženju</link>.","composer.mode.agentMode.customInfo.refresh":"Sve promjene stupaju na snagu pri sljedećem pokretanju agenta.","composer.mode.agentMode.customInfo.title":"Kako funkcioniše prilagođeni način rada","composer.mode.agentMode.fullAccess":"Agent (puni pristup)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (puni pristup)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (puni pristup)","composer.mode.agentMode.fullAccessConfirm.caution":"Budite oprezni prilikom omogućavanja potpunog pristupa. Ovo značajno povećava rizik od gubitka podataka, odavanje informacija ili neočekivano ponašanje.","composer.mode.agentMode.fullAccessConfirm.confirm":"Da, nastavi svakako","composer.mode.agentMode.fullAccessConfirm.description":"Kad se Codex pokrene s punim pristupom, može uređivati bilo koju datoteku na vašem računaru i pokretati komande s mrežom, bez vašeg odobrenja.","composer.mode.agentMode.fullAccessConfirm.goBack":"Otkaži","composer.mode.agentMode.fullAccessConfirm.title":"Dozvoliti puni pristup?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Zamijeni način rada","composer.mode.agentMode.tooltip.auto":"Čitajte i uređujte datoteke, i pokrećite komande.","composer.mode.agentMode.tooltip.custom":"Koristite najnovije odobrenje i pravila izoliranog okruženja definisana u config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex može uređivati datoteke van ovog radnog prostora i pokretati komande uz pristup mreži. Budite oprezni prilikom upotrebe.","composer.mode.agentMode.tooltip.readOnly":"Potrebno odobrenje za uređivanje datoteka i pokretanje komandi.","composer.mode.cloud.tooltip":"Radite u cloud okruženju","composer.mode.contactAdmin":"Za bolji pristup, kontaktirajte svog administratora","composer.mode.local":"Lokalno","composer.mode.local.learnMore":"Saznajte više","composer.mode.local.model.custom":"Prilagođeno","composer.mode.local.model.loadingModel":"Učitavanje modela","composer.mode.local.model.selecrReasoningEffort":"Odaberi rezonovanje","composer.mode.local.model.selectModel":"Odaberi model","composer.mode.local.model.tooltip":"Odaberi model","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Visoko","composer.mode.local.reasoning.low.label":"Nisko","composer.mode.local.reasoning.medium.label":"Srednje","composer.mode.local.reasoning.minimal.label":"Minimalno","composer.mode.local.reasoning.none.label":"Ništa","composer.mode.local.reasoning.xhigh.label":"Izuzetno visoko","composer.mode.localRemoteWhereRun":"Odaberite gdje želite pokrenuti zadatak","composer.mode.newTask.header":"Nastavi","composer.mode.rateLimit.day":"{days} dana","composer.mode.rateLimit.heading":"Preostalih ograničenja cijena","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} ograničenje:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {sedmično ograničenje} few {{weeks} sedmice ograničenja} other {{weeks} sedmica ograničenja}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Sedmično} few {{weeks} Sedmice} other {{weeks} Sedmica}}","composer.mode.remote.connectToCloud":"Povežite Codex internet","composer.mode.remote.connectToCloudDisabledTooltip":"Podesite okruženje preko Codex interneta da omogućite slanje zadataka na cloud","composer.mode.remote.selectEnvironment":"Odaberi okruženje","composer.mode.remote.sendToCloud":"Pošaljite na cloud","composer.mode.remote.setupViaWeb":"Podesite okruženje preko Codex interneta","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Rad u cloud okruženju","composer.mode.segmentedToggle.local.tooltip":"Rad u vašem lokalnom projektu","composer.mode.segmentedToggle.worktree.tooltip":"Rad u paralelnom rasporedu rada","composer.mode.upgradeToPlus":"Pređi na Plus","composer.mode.upgradeToPro":"Ažurirajte na Pro","composer.mode.workLocally":"Lokalni projekat","composer.mode.workLocally.currentBranchFallback":"vaš ogranak","composer.mode.workLocally.tooltip":"Rad na {branchName}","composer.mode.worktree":"Novi raspored rada","composer.mode.worktree.submoduleWarning":"Ovaj repozitorij ima git podmodule. Kreiranje radnog stabla može propasti.","composer.mode.worktree.tooltip":"Napravite kopiju svog lokalnog projekta za paralelni rad","composer.mode.worktreeSegment":"Raspored rada","composer.modelChangeDuringConversationWarning.toast":"Promjena modela usred razgovora će smanjiti performanse.","composer.newChat.heading.browser":"Šta bismo trebali dalje kodirati?","composer.permissionsDropdown.custom.label":"Otvori (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Otvori (config.toml)","composer.permissionsDropdown.default.label":"Zadane dozvole","composer.permissionsDropdown.default.optionLabel":"Zadane dozvole","composer.permissionsDropdown.fullAccess.disabled":"Puni pristup je onemogućen protokolom requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Promijeni dozvole","composer.personalitySlashCommand.description.friendly":"Toplo, kolaborativno i korisno","composer.personalitySlashCommand.description.pragmatic":"Sažet, usmjeren na zadatak i direktan","composer.personalitySlashCommand.label.friendly":"Prijateljski","composer.personalitySlashCommand.label.pragmatic":"Pragmatični","composer.personalitySlashCommand.notApplicableSuffix":"(Ne važi za aktuelni model)","composer.personalitySlashCommand.title":"Ličnost","composer.placeholder.cloudFollowUp.directFollowUp":"Provjera ovog cloud zadatka","composer.placeholder.cloudFollowUp.local":"Kreiraj novi zadatak koji se tiče ovog cloud zadatka.","composer.placeholder.cloudFollowUp.workingTree":"Kreiraj novi cloud zadatak koji uključuje trenutni kôd i navest će ovaj zadatak","composer.placeholder.localFollowUp.cloud":"Prati u novom cloud zadatku","composer.placeholder.localFollowUp.locally":"Pitajte za popratne izmjene","composer.placeholder.newTask.cloud":"itajteZatražite od Codexa da odradi bilo šta u cloudu","composer.placeholder.newTask.doAnything":"Zatražite od Codexa da odradi bilo šta","composer.placeholder.newTask.locally":"Pitajte Codex bilo šta, @ za dodavanje datoteka, / za komande","composer.planModeDropdown":"Način rada planiranja","composer.planModeDropdown.ariaLabel":"Način rada planiranja","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Isključite način rada planiranja","composer.planSlashCommand.enableDescription":"Uključite način rada planiranja","composer.planSlashCommand.title":"Način rada planiranja","composer.priorContext.label":"Prethodni kontekst","composer.priorContext.removeAriaLabel":"Ukloni prethodni kontekst","composer.queuedMessage.delete":"Izbrisati poruku na čekanju","composer.queuedMessage.edit":"Uredi poruku","composer.queuedMessage.more":"Radnje u vezi poruka","composer.queuedMessage.sendNow":"Pošalji sada","composer.queuedMessage.turnOff":"Isključite nizanje","composer.reasoningEffort.local.reasoning.tooltip":"Odaberite napor za rezonovanje","composer.remote.branchStartingPoint":"Od koje grane bi ovaj zadatak trebao početi?","composer.remote.branchesSectionHeading":"Grane","composer.remote.currentEditsSuffix.followUp":"Kreirajte novi zadatak koji se tiče ovog cloud zadatka.","composer.remote.currentEditsSuffix.useLocal":"s promjenama lokalnog koda","composer.remote.directFollowUp":"Nemojte koristiti lokalne promjene","composer.remote.errorLoadingBranches":"Greška prilikom učitavanja grana","composer.remote.fromBranch":"Od {branch}","composer.remote.fromCurrentBranch":"Od {branch} (trenutno)","composer.remote.loadingMoreBranches":"Učitavanje...","composer.remote.localFileStateHeading":"Stanje lokalne datoteke","composer.remote.localWorkingTree":"Koristi lokalne promjene","composer.remote.startingPoint":"Od kojeg koda bi trebao ovaj zadatak početi?","composer.reviewMode.branches.error":"Nije moguće učitati grane","composer.reviewMode.branches.retry":"Pokušajte ponovo","composer.reviewMode.gitRoot.error":"Git korijen nije pronađen","composer.reviewMode.option.baseBranch.simple":"Provjerite u odnosu na baznu granu","composer.reviewMode.option.unstaged.simple":"Provjerite nepotvrđene promjene","composer.reviewMode.quickReviewError":"Neuspješno pokretanje provjere koda.","composer.reviewMode.title":"Pregled koda","composer.sandboxButton.unlock.disabled.tooltip":"Puni pristup je onemogućen protokolom requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex može koristiti eksperimentalni sandbox na Windowsu kako bi ograničio pristup datotečnom sistemu i mreži. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Omogućiti Windows Sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Koristi samo za čitanje","composer.searchEnvironments":"Pretražuj okruženja","composer.skillMentionList.app":"Aplikacija","composer.skillMentionList.loading":"Učitavanje vještina...","composer.skillMentionList.noResults":"Nema pronađenih vještina","composer.slashCommands.cloudEnvironment.title":"Cloud okruženje","composer.slashCommands.dialogLabel":"Slash komandni meni","composer.slashCommands.dialogTitle":"Slash komande","composer.slashCommands.disabledTooltip":"Započnite novi razgovor za korištenje slash komandi","composer.slashCommands.inputPlaceholder":"Pretraži","composer.slashCommands.noResults":"Nema komandi","composer.slashCommands.skillsGroup":"Vještine","composer.slashCommands.tooltip":"Pretražuj slash komande","composer.status.close":"Zatvori","composer.statusPlain.alertLabel":"Upozorenje:","composer.statusPlain.alertValue":"{remaining}% ostalo na {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} korišteno / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% preostalo","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ograničenje:","composer.statusPlain.rateLimitDays":"{count}d ograničenje","composer.statusPlain.rateLimitFallbackLabel":"Ograničenje brzine:","composer.statusPlain.rateLimitHours":"{count}h ograničenje","composer.statusPlain.rateLimitLabelBase":"Ograničenje brzine","composer.statusPlain.rateLimitMinutes":"{count}m ograničenje","composer.statusPlain.rateLimitPercent":"{remaining}% preostalo","composer.statusPlain.rateLimitReset":"poništava {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"vrijeme poništavanja nedostupno","composer.statusPlain.rateLimitUnavailable":"Nedostupno","composer.statusPlain.sessionCopiedAriaLabel":"Kopiran ID sesije","composer.statusPlain.sessionCopiedTooltip":"Kopiran ID","composer.statusPlain.sessionCopyAriaLabel":"Kopiraj ID sesije","composer.statusPlain.sessionCopyTooltip":"Kopiraj ID","composer.statusPlain.sessionLabel":"Sesija:","composer.statusSlashCommand.description":"Prikaži ID niza, korištenje konteksta i ograničenja brzine","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"U redu","composer.submit.blockedDialogTitle":"Neuspjelo slanje poruke","composer.submit.emptyMessage":"Unesite poruku za pokretanje","composer.submit.imageInputsUnsupported":"Ukloni slike ili promijeni modele za slanje ove poruke.","composer.submit.loadingLocalConfig":"Učitavanje...","composer.submit.missingCloudConfig":"Morate odabrati cloud okruženje","composer.submit.missingCloudTurn":"Ne može se pratiti ovaj zadatak","composer.submit.noWorkspace":"Dodajte projekat za korištenje Codexa","composer.submit.waitForImageUploads":"Slika koje se otpremaju...","composer.submitButtonTooltip.send":"Pošalji","composer.submitButtonTooltip.stop":"Zaustavi","composer.worktreeEnvironment.create":"Kreiraj lokalno okruženje","composer.worktreeEnvironment.default":"Zadano okruženje","composer.worktreeEnvironment.error":"Greška pri učitavanju okruženja","composer.worktreeEnvironment.loading":"Učitavanje okruženja...","composer.worktreeEnvironment.title":"Lokalno okruženje","composer.worktreeEnvironment.tooltip":"Odaberite lokalno okruženje","composer.worktreeSetupFailed":"Podešavanje rasporeda rada neuspjelo. Provjerite .codex/okruženje za skriptu podešavanja. ","compoundButton.secondaryAction":"Sekundarna radnja","copyButton.copied":"Kopirano","copyButton.copiedAriaLabel":"Kopirano","copyButton.copy":"Kopiraj","copyButton.copyAriaLabel":"Kopiraj","copyButton.copyCode":"Kopiraj kôd","diff.actionButton.revertFile":"Vrati datoteku","diff.actionButton.revertHunk":"Vrati","diff.actionButton.revertSection":"Vrati sve","diff.actionButton.revertSectionLabel":"Vrati sve","diff.actionButton.stageFile":"Postavi datoteku na scenu","diff.actionButton.stageHunk":"Postaviti na scenu","diff.actionButton.stageSection":"Postavi sve na scenu","diff.actionButton.stageSectionLabel":"Postavi sve na scenu","diff.actionButton.unstageFile":"Skini datoteku sa scene","diff.actionButton.unstageHunk":"Skinuti sa scene","diff.actionButton.unstageSection":"Skinuti sve sa scene","diff.actionButton.unstageSectionLabel":"Skinuti sve sa scene","diff.fileHeader.toggle":"Uključiti/isključiti razliku u datotekama","electron.onboarding.login.apikey.cancel":"Otkaži","electron.onboarding.login.apikey.continue":"Nastavi","electron.onboarding.login.apikey.label":"OpenAI API ključ","electron.onboarding.login.apikey.open":"Unesite API ključ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Otkaži prijavu","electron.onboarding.login.chatgpt.continue":"Nastavite s ChatGPT-om","electron.onboarding.login.devbox":"Poveži se na udaljeni SSH","electron.onboarding.login.error":"Prijava nije uspjela: {rawMessage}","electron.onboarding.login.snake.start":"Igraj Zmiju","electron.onboarding.login.sshConfig.cancel":"Otkaži","electron.onboarding.login.sshConfig.continue":"Nastavi","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Najbolji način kreiranja s agentima","electron.onboarding.login.title":"Dobrodošli u Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Nastavi","electron.onboarding.welcome.doubleLimits.description":"Povodom lansiranja Codex aplikacije, imate ograničenja brzine od 2× do 2. aprila.","electron.onboarding.welcome.freego.description":"Codex je uključen u vaš plan besplatno do 2. marta – hajde da počnemo graditi zajedno.","electron.onboarding.welcome.new.title.anon":"Dobrodošli!","electron.onboarding.workspace.continue":"Nastavi","electron.onboarding.workspace.empty":"Dodajte projekat za nastavak.","electron.onboarding.workspace.listLabel":"Dostupni projekti","electron.onboarding.workspace.loading":"Učitavanje projekata...","electron.onboarding.workspace.openFolder":"Dodaj projekat","electron.onboarding.workspace.selectAll":"Odaberi sve","electron.onboarding.workspace.skip":"Preskoči","electron.onboarding.workspace.skip.error":"Nije moguće kreirati novi projekat: {message}","electron.onboarding.workspace.skip.error.unknown":"Nepoznata greška","electron.onboarding.workspace.skipping":"Kreiranje novog projekta...","electron.onboarding.workspace.subtitle":"Codex će moći uređivati ​​datoteke i izvršavati naredbe u odabranim folderima.","electron.onboarding.workspace.title":"Odaberi projekat","errorPage.list.checkSettings":"Pokušajte ažurirati svoje IDE postavke","errorPage.list.configToml":"Provjerite svoje config.toml za neispravne postavke","errorPage.list.downloadExtension":"Pokušajte preuzeti drugačiju verziju ekstenzije","errorPage.list.runInWsl":"Provjerite svoje postavke za onemogućavanje rada u WSL-u ako vidite probleme s kompatibilnošću","execApprovalRequest.menu.runAlways":"Da, i ne pitaj me ponovo za ovu sesiju","execApprovalRequest.menu.runAlwaysWithAmendment":"Da, i ne traži više komande koje počinju sa {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Da, i ne traži više komande koje počinju sa","execApprovalRequest.menu.runOnce":"Da","execApprovalRequest.prompt":"Želite li pokrenuti ovu komandu?","execApprovalRequest.reject":"Ne","execFooter.exitCode":"Kod za izlazak {code}","execFooter.exitCode.unknown":"nepoznato","execFooter.success":"Uspješno","feedback.dialog.category.badResult":"Loš rezultat","feedback.dialog.category.bug":"Kvar","feedback.dialog.category.goodResult":"Dobar rezultat","feedback.dialog.category.other":"Ostalo","feedback.dialog.descriptionPlaceholder":"Opišite problem ovdje","feedback.dialog.dismiss":"Odbaci","feedback.dialog.includeLogsLabel":"Uključite aktuelne Codex dnevnike sesija","feedback.dialog.submit":"Pošalji","feedback.dialog.submitError":"Nismo mogli poslati vaš povratni odgovor. Molimo pokušajte ponovo malo kasnije.","feedback.dialog.title":"Povratni odgovor","feedback.dialog.uploadedMessage.existingIssue":"postojeći otvoreni problem","feedback.dialog.uploadedMessage.openIssue":"otvori GitHub problem","feedback.dialog.uploadedMessage.withThread":"Povratni odgovor otpremljen. Ako problem i dalje bude postojao, molimo {openIssueLink} ili pomenite ID niza u {existingIssueLink}:","feedback.dialog.uploadedTitle":"Povratni odgovor otpremljen","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Ukloni {filename}","header.back":"Nazad","header.recentChats":"Zadaci","header.recentTasks.seeAll":"Pogledaj sve ({total})","home.header.getPlus":"Preuzmite Plus","home.hero.letsBuild":"Gradimo","homePage.mainContent":"Glavni sadržaj","imageAttachment.defaultName":"slika","imageAttachment.preview.close":"Sačuvan pregled slike","imageAttachment.removeAriaLabel":"Ukloni {filename}","implementPlanRequest.option.implement":"Da, implementiraj ovaj plan","implementPlanRequest.prompt":"Implementiraj ovaj plan?","inbox.archived.deleteError":"Nije moguće obrisati arhivirano pokretanje","inbox.archived.deleteRun":"Izbrisati arhivirano pokretanje","inbox.archived.deleteSuccess":"Izbrisan arhivirani niz. Pogledajte u <settingsLink>arhiviranim nizovima</settingsLink>.","inbox.archived.inlineLabel.auto":"Ovaj niz je automatski arhiviran. <learnMoreLink>Saznajte više</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ovaj niz je arhiviran.","inbox.archived.noMessageFound":"Nema pronađenih poruka","inbox.automations.createError":"Nije moguće kreirati automatizaciju","inbox.automations.deleteConfirm.cancel":"Otkaži","inbox.automations.deleteConfirm.confirm":"Izbrisati automatizaciju","inbox.automations.deleteConfirm.description":"Ovim ćete trajno izbrisati automatizaciju i zaustaviti buduća pokretanja.","inbox.automations.deleteConfirm.title":"Izbrisati {name}?","inbox.automations.deleteError":"Nije moguće obrisati sve razgovore","inbox.automations.editTooltip":"Uredi automatizaciju","inbox.automations.inProgress":"U toku...","inbox.automations.new":"Novo","inbox.automations.newToolbar":"Nova automatizacija","inbox.automations.pauseTooltip":"Automatizacija pauze","inbox.automations.resumeTooltip":"Nastavi automatizaciju","inbox.automations.startingNow":"Počinjanje sad","inbox.automations.startsIn":"Počinje za {startTime}","inbox.automations.status.active":"Aktivno","inbox.automations.status.paused":"Pauzirano","inbox.automations.status.runs":"{count} pokretanja","inbox.automations.status.started":"Započeto {date}","inbox.automations.updateError":"Nije moguće ažurirati automatizaciju","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Sve","inbox.filter.ariaLabel":"Filtriraj stavke ulazne pošte","inbox.filter.unread":"Nepročitano","inbox.list.archived":"Arhivirano","inbox.list.inProgress":"U toku...","inbox.list.recent":"Kompletirano","inbox.list.upNext":"Zakazano","inbox.mode.automations":"Automatizacije","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nema dostavljenih opisa","inbox.openThread":"Otvori niz","inbox.rightPanel.emptySubtitle":"Automatizirajte rad postavljanjem zakazanih zadataka","inbox.rightPanel.emptySubtitle.learnMore":"Automatizirajte rad postavljanjem zakazanih tema. <link>Saznajte više</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {#  aktivna automatizacija} few {# aktivne automatizacije} other {# aktivnih automatizacija}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nema nepročitanih automatizacija","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# nepročitana automatizacija} few {# nepročitane automatizacije} other {# nepročitanih automatizacija}}","inbox.rightPanel.emptyTitle":"Nema odabranih stavki","inbox.rightPanel.noThread":"Nema niza za ovu stavku","inbox.rightPanel.quickStart.header":"Počnite šablonom","inbox.untitled":"Neimenovana stavka ulazne pošte","loadingPage.documentationLink":"dokumentaciju","loadingPage.errorDescription":"Codex je pao sa sljedećom greškom:","loadingPage.errorDescription.documentation":"Kliknite na ponovno učitavanje kako biste ponovno pokrenuli Codex ekstenziju, ili posjetite našu {documentationLink} za dodatnu pomoć.","loadingPage.errorSignal":"Neke stvari koje možete pokušati:","loadingPage.errorTitle":"Došlo je do greške","loadingPage.openConfigToml":"Otvori Config.toml","loadingPage.reload":"Učitati ponovo","localConversation.contextCompacted":"Kontekst se automatski sažima","localConversation.contextCompacting":"Automatsko sažimanje konteksta","localConversation.forkedFromConversation":"Prebačeno iz {threadTitle}","localConversation.merge.autoResolve.failed":"Neuspješno traženje automatskog rješavanja:{error}","localConversation.merge.autoResolve.sent":"Zahtjev za automatsko rješavanje poslat","localConversation.merge.autoResolveMerge.missingConversation":"Nije moguće automatsko rješavanje bez aktivnog razgovora.","localConversation.merge.autoResolveMerge.request":"Automatsko rješavanje konflikata spajanja","localConversation.modelChanged":"Promjena modela od {fromModel} na {toModel}.","localConversation.modelChanged.warning.line1":"Promjena modela usred razgovora će smanjiti performanse.","localConversation.modelChanged.warning.line2":"Kontekst se automatski sažima.","localConversation.moveThread.createBranch.label":"Kreiraj granu","localConversation.moveToLocal.disabled.loading":"Učitavanje...","localConversation.moveToLocal.modal.continue":"Nastavi","localConversation.moveToLocal.modal.destinationLabel":"Pomjeri na","localConversation.moveToLocal.modal.retry":"Pokušajte ponovo","localConversation.moveToWorktree.modal.back":"Nazad","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Grana već postoji.","localConversation.moveToWorktree.modal.branchesError":"Nije moguće učitati grane","localConversation.moveToWorktree.modal.branchesLoading":"Učitavanje grana...","localConversation.moveToWorktree.modal.branchesRetry":"Pokušajte ponovo","localConversation.moveToWorktree.modal.continue":"Nastavi","localConversation.moveToWorktree.modal.retry":"Pokušajte ponovo","localConversation.moveToWorktree.modal.trailingSlashError":"Naziv grane ne može završavati sa “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nova-grana","localConversation.personalityChanged":"Prebačeno na {personality} ličnost","localConversation.planSummary.collapse":"Skupi sažetak plana","localConversation.planSummary.collapseTooltip":"Skupi","localConversation.planSummary.download":"Preuzmi plan","localConversation.planSummary.expand":"Proširi sažetak plana","localConversation.planSummary.expandTooltip":"Proširi","localConversation.planSummary.openInNewWindow":"Otvoreno","localConversation.planSummary.openInNewWindow.tooltip":"Otvorite u novom prozoru","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plan pisanja","localConversation.planSummary.viewPlan":"Proširi plan","localConversation.remoteTaskCreated":"Kreirano {taskLink} u Codex Cloudu","localConversation.remoteTaskCreated.task":"zadatak","localConversation.scrollToBottomButton":"Povuci prema dnu","localConversation.sync.buttonLabel":"Predati lokalnom","localConversation.sync.buttonLabel.tooltip":"Prenesite promjene između ovog rasporeda rada i vaše lokalne blagajne.","localConversation.sync.modal.loading.title":"Predaja promjena…","localConversation.sync.modal.noChanges":"Nema promjena","localConversation.syncSetup.branchAriaLabel":"Naziv grane","localConversation.syncSetup.branchName":"Naziv grane","localConversation.syncSetup.branchPlaceholder.existing":"Odaberite postojeću granu","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Učitavanje grana...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Već je odjavljeno","localConversation.syncSetup.checkoutClean":"Trenutno na{branchName}","localConversation.syncSetup.checkoutDirty":"Trenutno na {branchName} uz nepotvrđene promjene","localConversation.syncSetup.checkoutError":"Neuspješna provjera grane: {message}","localConversation.syncSetup.checkoutLabel":"Odjavite sada lokalno","localConversation.syncSetup.checkoutOnLocal":"Predati lokalnom","localConversation.syncSetup.checkoutPending":"Provjera lokalnog statusa…","localConversation.syncSetup.checkoutUnavailable":"Lokalni radni prostor nije dostupan","localConversation.syncSetup.checkoutUnknown":"Lokalni radni prostor nedostupan","localConversation.syncSetup.continue":"Nastavi","localConversation.syncSetup.createBranchError":"Neuspješno postavljanje primopredaje: {message}","localConversation.syncSetup.error":"Nešto nije u redu: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nije moguće napraviti snimak radnog stabla. Molimo vas da ponovo pokušate primopredaju.","localConversation.syncSetup.mode.ariaLabel":"Odaberite način rada grane","localConversation.syncSetup.mode.existing":"Postojeća grana","localConversation.syncSetup.mode.new":"Nova grana","localConversation.syncSetup.noBranches":"Nema pronađenih grana","localConversation.syncSetup.overwriteError":"Grana je kreirana, ali nije u potpunosti predana. Predajte ju ručno prije lokalne provjere.","localConversation.syncSetup.setPrefix":"Podesi prefiks","localConversation.syncSetup.subtitle":"Testirajte i uređujte promjene rasporeda rada lokalno.<a>Saznajte više</a>","localConversation.syncSetup.success.checkedOut":"Grana je kreirana i lokalno je provjerena.","localConversation.syncSetup.success.notCheckedOut":"Grana kreirana","localConversation.syncSetup.title":"Predati lokalnoj grani","localConversation.syncWorktreeError.branchAriaLabel":"Naziv grane","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Odaberite granu kojoj želite predati promjene, a zatim pokušajte ponovo učitati promjene.","localConversation.syncWorktreeError.branchSetup.title":"Ažurirajte granu","localConversation.syncWorktreeError.branchUpdate.cta":"Ažurirajte i pokušajte ponovo","localConversation.syncWorktreeError.branchUpdate.error":"Neuspješno ažuriranje grane: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Nešto nije u redu: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Grana nije provjerena ni u jednom rasporedu rada.","localConversation.syncWorktreeV2.applyUncommitted":"Primijeni","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Morate lokalno provjeriti granu da biste primijenili nepotvrđene promjene","localConversation.syncWorktreeV2.branches.empty":"Nema pronađenih grana","localConversation.syncWorktreeV2.branches.loading":"Učitavanje grana...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Promjena grane primopredaje","localConversation.syncWorktreeV2.changeBranch.error":"Neuspješna promjena grane primopredaje: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Primjena neuspjela","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Prepisivanje rasporeda rada nije uspjelo","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Prepisivanje lokalnog nije uspjelo","localConversation.syncWorktreeV2.commandError.back":"Nazad","localConversation.syncWorktreeV2.commandError.body":"Git naredba nije uspjela prilikom primopredaje. Pregledajte izlaz i pokušajte ponovo.","localConversation.syncWorktreeV2.commandError.retry":"Pokušajte ponovo","localConversation.syncWorktreeV2.description":"Prenesite promjene između lokalnog i ovog rasporeda rada.<a>Saznajte više</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Odaberite smjer primopredaje","localConversation.syncWorktreeV2.error.generic":"Došlo je do greške prilikom primopredaje. Pokušajte ponovo.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalno","localConversation.syncWorktreeV2.noChanges":"Obračunavanje promjena","localConversation.syncWorktreeV2.noChanges.summary":"Nema promjena","localConversation.syncWorktreeV2.overwrite.local":"Prepisivanje lokalnog","localConversation.syncWorktreeV2.overwrite.worktree":"Prepisati raspored rada","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nismo mogli primijeniti promjene","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nije moguće prepisati lokalne promjene","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nije moguće prepisati promjene u radnom stablu","localConversation.syncWorktreeV2.partial.appliedLabel":"Primjenjeno","localConversation.syncWorktreeV2.partial.back":"Nazad","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Riješite konflikte i pokušajte ponovo.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikti","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","localConversation.syncWorktreeV2.partial.retry":"Pokušajte ponovo","localConversation.syncWorktreeV2.partial.skippedLabel":"Preskočeno","localConversation.syncWorktreeV2.stateFailed.generic":"Došlo je do greške prilikom preuzimanja promjena u rasporedu rada za predaju. Molimo pokušajte ponovo.","localConversation.syncWorktreeV2.stateFailed.title":"Neuspješno učitavanje promjena rasporeda rada","localConversation.syncWorktreeV2.statusError.diffUnknown":"Neuspješno učitavanje promjena rasporeda rada.","localConversation.syncWorktreeV2.statusError.retry":"Pokušajte ponovo","localConversation.syncWorktreeV2.statusError.title":"Nije moguće učitati promjene lokalne grane","localConversation.syncWorktreeV2.statusError.unknown":"Status poslovnice trenutno nije dostupan. Pokušajte ponovo.","localConversation.syncWorktreeV2.success.apply":"Uspješno primjenjene promjene","localConversation.syncWorktreeV2.success.overwrite":"Predaja uspješna","localConversation.syncWorktreeV2.title":"Predajte promjene","localConversation.syncWorktreeV2.worktreeLabel":"Raspored rada","localConversation.userInputRequest.inProgress":"Pitanje {count, plural, one {pitanje} few {pitanja} other {pitanja}}","localConversation.userInputRequest.noAnswer":"Nema datih odgovora","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Upitano","localConversation.userInputRequest.summary.count":"{count, plural, one {# pitanje} few {# pitanja} other {# pitanja}}","localConversation.workedFor":"Rađeno za {time}","localConversation.worktreeBranchSetup.action.create":"Kreiraj","localConversation.worktreeBranchSetup.branchAriaLabel":"Naziv grane","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Kreiraj novu granu","localConversation.worktreeBranchSetup.checkoutDisabled":"Ova grana je već provjerena na{location}","localConversation.worktreeBranchSetup.checkoutError":"Neuspješna provjera grane: {message}","localConversation.worktreeBranchSetup.createBranchError":"Postavljanje grane nije uspjelo: {message}","localConversation.worktreeBranchSetup.error":"Nešto nije u redu: {message}","localConversation.worktreeBranchSetup.subtitle":"Kreirajte granu za potvrđivanje promjena, slanje i kreiranje PR-a iz ovog radnog stabla. <a>Saznajte više</a>","localConversation.worktreeBranchSetup.title":"Radite ovdje","localConversationPage.addWorktreeToSidebar.tooltip":"Sačuvaj kao projekat kako biste mogli započeti nove nizove iz ovog rasporeda rada","localConversationPage.addWorktreeToSidebarError":"Neuspješno dodavanje projekta","localConversationPage.commitAndCreatePrModal.errorTitle":"Podnošenje i kreiranje PR-a neuspješno","localConversationPage.commitAndCreatePrModal.successTitle":"Podnešen i kreiran PR","localConversationPage.commitAndPushModal.errorTitle":"Podnošenje i pritiskanje neuspješno","localConversationPage.commitAndPushModal.successTitle":"Podnešene i pritisnute promjene","localConversationPage.commitCreatePr.open":"Otvori zahtjev za povlačenje","localConversationPage.commitCreatePr.successTitle":"Kreiran PR s najnovijim izmjenama","localConversationPage.createBranchButtonLabel":"Grana ovdje","localConversationPage.createPrModal.baseBranch":"Baza","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Kreiraj PR","localConversationPage.createPrModal.createDescription":"Otvori zahtjev za povlačenje za vaše najnovije izmjene.","localConversationPage.createPrModal.errorTitle":"Zahtjev za povlačenje nije uspio","localConversationPage.createPrModal.headBranch":"Zaglavlje","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Otvori PR","localConversationPage.createPrModal.successTitle":"Kreiran zahtjev za povlačenje","localConversationPage.createPrModal.title":"Kreiraj zahtjev za povlačenje","localConversationPage.createPrModal.viewDescription":"Zahtjev za povlačenje već postoji za tu granu.","localConversationPage.createPrModal.viewTitle":"Zahtjev za povlačenje spreman","localConversationPage.createPullRequestAuthGh":"Autentificirajte GitHub CLI: pokrenite `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informacije o ispostavi nedostupne","localConversationPage.createPullRequestButtonLabel":"Kreiraj PR","localConversationPage.createPullRequestButtonLabel.loading":"Kreiranje PR-a...","localConversationPage.createPullRequestDefaultBranchMissing":"Zadane informacije o ispostavi nedostupne","localConversationPage.createPullRequestError":"Neuspješno kreiranje zahtjeva za povlačenje","localConversationPage.createPullRequestExistingPullRequest":"Zahtjev za povlačenje već postoji za ovu granu","localConversationPage.createPullRequestGhStatusMissing":"Učitavanje GitHub CLI statusa...","localConversationPage.createPullRequestInstallGh":"Instaliraj GitHub CLI (gh) za kreiranje PR-ova","localConversationPage.createPullRequestNoRepo":"Nema pronađenog git repoztirija","localConversationPage.createPullRequestPushStatusMissing":"Učitavanje statusa na pritiskanje...","localConversationPage.createPullRequestSetUpstream":"Proslijedi ovu granu prije kreiranja PR-a","localConversationPage.createPullRequestSuccessToast":"Kreiran zahtjev za povlačenje","localConversationPage.createPullRequestSwitchBranch":"Provjerite granu funkcija prije kreiranja PR-a","localConversationPage.error.render":"Greška pri pokretanju lokalnog razgovora","localConversationPage.error.toast":"Razgovor nije pronađen","localConversationPage.forcePushError":"Neuspješno prisilno pritiskanje","localConversationPage.generatePullRequestMessageError":"Neuspjelo generisanje naslova i strukture zahtjeva za povlačenje","localConversationPage.generatePullRequestMessageFailed":"Neuspjelo generisanje naslova i strukture zahtjeva za povlačenje.","localConversationPage.gitActionResult.branch":"Grana","localConversationPage.gitActionResult.cancel":"Otkaži","localConversationPage.gitActionResult.close":"Zatvori","localConversationPage.gitActionResult.tryAgain":"Pokušajte ponovo","localConversationPage.gitActions":"Git radnje","localConversationPage.newChat":"Novi chat","localConversationPage.openInTarget":"Otvori u","localConversationPage.openPrimaryTarget":"Otvoreno","localConversationPage.planItemsCompleted":"{completedItems} od {totalItems, plural, one {# zadatak završen} few {# zadataka završeno} other {# zadataka završeno}} ","localConversationPage.pushAuthError":"Pritiskanje neuspješno: potrebna je autentifikacija","localConversationPage.pushBranchMissing":"Informacije o ispostavi nedostupne","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Guranje...","localConversationPage.pushError":"Neuspješno potvrđivanje promjena","localConversationPage.pushModal.branchLabel":"Grana","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Otkaži","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Pritisnite svoje najnovije zahtjeve u udaljeni repozitorij.","localConversationPage.pushModal.errorTitle":"Pritiskanje neuspješno","localConversationPage.pushModal.forcePush":"Prisilno pritiskanje","localConversationPage.pushModal.successTitle":"Pritiskanje završeno","localConversationPage.pushModal.title":"Promjene pritiskanjem","localConversationPage.pushModal.tryAgain":"Pokušajte ponovo","localConversationPage.pushNoUpstream":"Postavite uzvodno prije nego što gurnete ovu granu","localConversationPage.pushNoUpstreamError":"Pritiskanje neuspješno: nije podešen uzvodni tok","localConversationPage.pushNothingToPush":"Nema novih stavki za slanje","localConversationPage.pushRemoteChangedError":"Pritiskanje neuspješno: remote ima nove commite","localConversationPage.pushRemoteRejectedError":"Pritiskanje odbijeno od strane remote","localConversationPage.pushStatusMissing":"Učitavanje statusa na pritiskanje...","localConversationPage.pushSuccessToast":"Pritisnute promjene","localConversationPage.viewPullRequestButtonLabel":"Pogledaj PR","localConversationPage.viewPullRequestButtonLabel.loading":"Učitavanje zahtjeva povlačenja...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} few {# liste} other {# listi}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# pretraživanje} few {# pretraživanja} other {# pretraživanja}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Istraživanje","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Istraženo","localConversationTurn.exploration.accordion.header.complete.withCounts":"Istraženo {counts} ","localConversationTurnStory.showContent":"Prikaži sadržaj","localConversationTurnStory.streamContent":"Sadržaj toka","localConversationTurnStory.toggleReasoning":"Prikaži rezonovanje","localTaskRow.archiveError":"Neuspješno arhiviranje razgovora","localTaskRow.resumeError":"Neuspješno nastavljanje zadatka","mermaidDiagram.ariaLabel":"Dijagram sirene","mermaidDiagram.copySource":"Kopiraj sirenu","mermaidDiagram.originalCode":"Izvorni kod sirene","notifications.permissions.description":"Prikaži obavještenja kada su potrebna odobrenja za obavještenja","notifications.permissions.label":"Uključi dozvolu za obavijesti","notifications.turnMode.always":"Uvijek","notifications.turnMode.description":"Postavite kada vas Codex obavještava da je završen","notifications.turnMode.label":"Uključi kompletiranje obavijesti","notifications.turnMode.off":"Nikad","notifications.turnMode.unfocused":"Samo kada nije fokusirano","patchApprovalRequest.approve":"Odobri","patchApprovalRequest.menu.allowAlways":"Da, i ne pitaj me ponovo za ovu sesiju","patchApprovalRequest.menu.allowForSession":"Da, i ne pitaj me ponovo za ovu sesiju","patchApprovalRequest.menu.allowOnce":"Da","patchApprovalRequest.prompt":"Da li želite napraviti ove izmjene?","patchApprovalRequest.reject":"Ne","patchApprovalRequest.waitingForApproval":"Čekanje na odobrenje za uređivanje datoteka","pendingRequest.approvalExec.collapse":"Skupi","pendingRequest.approvalExec.expand":"Proširi","pendingRequestStory.toastAnswer":"Odgovori sada: {answer}","pendingRequestStory.toastApprovalTitle":"Odgovor na odobrenje","pendingRequestStory.toastFollowupPrompt":"Upit: {prompt}","pendingRequestStory.toastFollowupTitle":"Dodatna obavijest poslana","pendingRequestStory.toastNoAnswers":"Nema datih odgovora","pendingRequestStory.toastQuestion":"Pitanje: {question}","pendingRequestStory.toastUnknownDecision":"Nepoznato","pendingRequestStory.toastUserInputTitle":"Poslani odgovori","quickAction.request.codeReview.branches.new":"Molimo provjerite promjene na {from} u odnosu na {to}","quickAction.request.codeReview.uncommitted.new":"Molimo provjerite moje nepotvrđene promjene","reasoningItem.thinking":"Razmišljanje","reasoningItem.thought":"Misao","reasoningItem.thoughtWithElapsed":"Pomislio na {elapsed}","recentConversations.title":"Nedavni razgovori","recentTasks.worktreeInitFailedTitle":"Neuspjela inicijalizacija rasporeda rada","recentTasks.worktreeSettingUpTitle":"Postavljanje rasporeda rada","requestInputPanel.continue":"Nastavi","requestInputPanel.dismiss":"Odbaci","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Ukucaj ovdje","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ne, i recite Codexu šta da uradi drugačije","requestInputPanel.selectedBadge":"Odabrano","requestInputPanel.skip":"Preskoči","requestInputPanel.submit":"Pošalji","review.commit.ariaLabel.includeUnstaged":"Uvrsti neprimjenjeno","review.commit.buttonLabel":"Podnesi","review.commit.disabled.committing":"Podnošenje...","review.commit.disabled.loadingDiff":"Učitavanje razlike…","review.commit.disabled.missingContext":"Dodajte neki sadržaj za generisanje poruke za slanje","review.commit.disabled.noChanges":"Nema promjena za podnošenje","review.commit.disabled.noSelection":"Odaberite promjene za podnošenje","review.commit.disabled.unavailable":"Podnošenje trenutno nije dostupno","review.commit.error":"Neuspješno podnošenje izmjena","review.commit.form.changesToBeCommitted":"Promjene","review.commit.form.commitTo":"Grana","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Nastavi","review.commit.form.title":"Podnesi svoje promjene","review.commit.generate.emptyResponse":"Nije moguće generisanje poruke za slanje.","review.commit.generate.failed":"Neuspjelo generisanje poruke za slanje: {error}","review.commit.generate.missingPrompt":"Dodajte neki sadržaj za generisanje poruke za slanje.","review.commit.includeUnstaged":"Uvrsti neprimjenjeno","review.commit.loading.description":"Budite strpljivi, ovo može potrajati par trenutaka...","review.commit.loading.step.commit.done":"Nepotvrđene promjene","review.commit.loading.step.commit.pending":"Pokretanje promjena","review.commit.loading.step.createPr.done":"Kreiran zahtjev za povlačenje","review.commit.loading.step.createPr.pending":"Kreiranje zahtjeva povlačenja","review.commit.loading.step.push.done":"Pritisnuto na granu {branch}","review.commit.loading.step.push.pending":"Pritiskanje na granu {branch}","review.commit.loading.title.commit":"Pokretanje promjena","review.commit.loading.title.createPr":"Kreiranje PR-a","review.commit.loading.title.push":"Pritiskanje promjena","review.commit.messageLabel":"Podnesi poruku","review.commit.messagePlaceholder":"Ostavite prazno za automatsko generiranje poruke potvrde","review.commit.nextSteps":"Naredni koraci","review.commit.nextSteps.commit":"Podnesi","review.commit.nextSteps.commitAndCreate":"Podnesi i kreiraj PR","review.commit.nextSteps.commitAndPush":"Podnošenje i pritiskanje","review.commit.nextSteps.prRequiresGh":"Zahtijeva GitHub CLI: {command}","review.commit.rows.changes":"Promjene","review.commit.rows.commitCount":"{count, plural, one {# podnošenje} few {# podnošenja} other {# podnošenja}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# podnošenje} few {# podnošenja} other {# podnošenja}} i {stats}","review.commit.rows.fileCount":"{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","review.commit.state.error.body":"Došlo je do greške prilikom podnošenja. Provjerite svoj git status i pokušajte ponovo.","review.commit.state.error.title":"Podnošenje nije uspjelo","review.commit.state.success.title":"Promjene podnešene","review.commit.untracked.loadingStats":"Učitavanje nepraćenih razlika u statistikama…","reviewFindingAttachments.count":"{count, plural, one {# pronalazak} few {# pronalaska} other {# pronalazaka}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Uredite svoju konfiguraciju za prilagođavanje ponašanju agenta","settings.agent.configuration.configToml.docs":"Dokumenti","settings.agent.configuration.subtitle":"Ove postavke se odnose na svugdje gdje se Codex koristi","settings.automations.banner.danger":"Automatizacije se izvršavaju s vašim zadanim postavkama sandboxa, koje su trenutno postavljene na Puni pristup. Pokretanje automatizacija u pozadini s Punim pristupom nosi povećan rizik, jer Codex može mijenjati datoteke, pokretati naredbe i pristupati mreži bez pitanja. Razmislite o ažuriranju postavki sandboxa na pisanje u radni prostor i korištenju <rulesDocsLink>pravila</rulesDocsLink> za selektivno definisanje koje naredbe agent može pokretati s punim pristupom.","settings.automations.banner.defaultHowTo.default":"Automatizacije se izvršavaju s vašim zadanim postavkama sandboxa. Pozivi alata neće uspjeti ako zahtijevaju izmjenu datoteka izvan radnog prostora, pristup mreži ili rad s aplikacijama na vašem računaru. Možete selektivno dopustiti naredbe za pokretanje izvan sandboxa pomoću <rulesDocsLink>pravila</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizacije se izvršavaju s vašim zadanim postavkama sandboxa, koje su postavljene na samo čitanje. Pozivi alata neće uspjeti ako zahtijevaju izmjenu datoteka, pristup mreži ili rad s aplikacijama na vašem računaru. Razmislite o ažuriranju postavki sandboxa na pisanje u radni prostor.","settings.automations.cancel":"Otkaži","settings.automations.create":"Kreiraj","settings.automations.cwdEmpty":"Nema dostupnih projektnih foldera","settings.automations.cwdLabel":"Projekti","settings.automations.cwdPlaceholder":"Odaberite folder","settings.automations.cwdSubtitle":"Ako želite da se automatizacija pokrene na određenoj grani, možete to navesti u svom upitu.","settings.automations.delete":"Izbriši","settings.automations.dialog.editTitle":"Uredi automatizaciju","settings.automations.dialog.newTitle":"Nova automatizacija","settings.automations.dialog.subtitle":"Automatizujte ponavljajuće zadatke u pozadini. Codex dodaje nalaze u pristiglu poštu ili automatski arhivira zadatak ako nema ništa za prijaviti. <learnMoreLink>Saznajte više</learnMoreLink>","settings.automations.dialog.title":"Kreiraj automatizaciju","settings.automations.executionCopy.git":"Automatizacije se izvršavaju u pozadini na namjenskim rasporedima rada.","settings.automations.executionCopy.nonGit":"Automatizacije u projektima koji nisu pod kontrolom verzija pokreću se direktno u direktoriju projekta. Razmislite o korištenju Gita kako biste omogućili pokretanje na pozadinskim rasporedima rada.","settings.automations.executionEnvironment.local":"Lokalno","settings.automations.executionEnvironment.worktree":"Raspored rada","settings.automations.loading":"Učitavanje...","settings.automations.nameLabel":"Naziv","settings.automations.namePlaceholder":"Provjeri sentry probleme","settings.automations.pause":"Pauza","settings.automations.promptLabel":"Upit","settings.automations.promptPlaceholder":"potraži kvarove u $Sentry","settings.automations.resume":"Ponovo pokreni","settings.automations.rruleSummaryFallback":"Prilagođeni raspored","settings.automations.runNow":"Test","settings.automations.save":"Sačuvaj","settings.automations.scheduleBadge.dayCount":"{count} dana","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"Radnim danima","settings.automations.scheduleBadge.weekends":"Vikendom","settings.automations.scheduleHeader":"Raspored","settings.automations.scheduleHours":"sati","settings.automations.scheduleLabel":"Pokreni svakih","settings.automations.scheduleMode.daily":"Dnevno","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Vrsta rasporeda","settings.automations.scheduleSummary.daily":"Svakodnevno u {time}","settings.automations.scheduleSummary.interval":"Svakih {count}h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dan} few {# dana} other {# dana}}","settings.automations.scheduleSummary.intervalDays":"{interval} u {days}","settings.automations.scheduleSummary.intervalHourly":"Po satu","settings.automations.scheduleSummary.singleDay":"{day} u {time}","settings.automations.scheduleSummary.weekdays":"Radnim danima u {time}","settings.automations.scheduleSummary.weekdaysLabel":"radnim danima","settings.automations.scheduleSummary.weekends":"Vikendom u {time}","settings.automations.scheduleSummary.weekendsLabel":"vikendom","settings.automations.scheduleSummary.weekly":"{days} u {time}","settings.automations.scheduleWeekdays":"Uključeno","settings.automations.weekdayState.excluded":"Isključeno","settings.automations.weekdayState.included":"Uključeno","settings.conversationDetail.steps":"Koraci","settings.conversationDetail.steps.description":"Sakrij naredbe i izlaze","settings.conversationDetail.stepsWithCommands":"Koraci s kodiranim naredbama","settings.conversationDetail.stepsWithCommands.description":"Prikaži komande, sakrij izlaz","settings.conversationDetail.stepsWithOutput":"Koraci s kodnim izlazom","settings.conversationDetail.stepsWithOutput.description":"Prikaži komande i otvori izlaz","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nema arhiviranih razgovora.","settings.dataControls.archivedChats.error":"Nije moguće učitati arhivirane razgovore.","settings.dataControls.archivedChats.loading":"Učitavanje arhiviranih chatova...","settings.dataControls.archivedChats.unarchive":"Dearhiviraj","settings.dataControls.archivedChats.unarchiveError":"Neuspješno dearhiviranje chata","settings.dataControls.archivedChats.unarchiveSuccess":"Nearhiviran niz. <viewNowLink>Pogledaj sada</viewNowLink>","settings.dataControls.archivedChats.untitled":"Neimenovani chat","settings.editRow.headerPlaceholder":"Ključ","settings.editRow.removeEntry":"Uklonite stavku","settings.editRow.valuePlaceholder":"Vrijednost","settings.general.appearance":"Izgled","settings.general.appearance.codeFont":"Kod fonta","settings.general.appearance.codeFont.description":"Prilagodite font koji se koristi za kôd u svim chatovima i različitim aplikacijama","settings.general.appearance.codeFontFamily":"Kôd font porodice","settings.general.appearance.codeFontSize":"Kod veličine fonta","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Neka prozori koriste jednobojnu pozadinu umjesto sistemske prozirnosti","settings.general.appearance.opaqueWindows.label":"Koristite neprozirnu pozadinu prozora","settings.general.appearance.sansFontFamily":"Porodica Sans fonta","settings.general.appearance.sansFontFamily.description":"Prilagodite font koji se koristi za Codex UI","settings.general.appearance.sansFontSize":"Veličina fonta Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Prikaži efekte proslave preko cijelog prozora dok GPT-5.3-Codex-Spark izvršava prvi krug","settings.general.appearance.sparkCelebrationEffects.label":"Efekti proslave Spark","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Tamno","settings.general.appearance.theme.description":"Koristite svijetlo, tamno ili boje koje odgovaraju vašem sistemu","settings.general.appearance.theme.light":"Svijetla","settings.general.appearance.theme.system":"Sistem","settings.general.appearance.usePointerCursors.description":"Promijeni kursor u pokazivač prilikom zadržavanja pokazivača iznad interaktivnih elemenata","settings.general.appearance.usePointerCursors.label":"Koristite pokazivače kursora","settings.general.enterBehavior.description":"Kada je omogućeno, višeredni upiti zahtijevaju {modifierSymbol} + unesite za slanje.","settings.general.enterBehavior.label":"Zahtijeva {modifierSymbol} + pritisnite enter za slanje dugih upita","settings.general.experimentalFeatures":"Eksperimentalne funkcije (Beta)","settings.general.experimentalFeatures.empty":"Nema dostupnih beta eksperimentalnih funkcija.","settings.general.experimentalFeatures.loading":"Učitavanje eksperimentalnih funkcija…","settings.general.experimentalFeatures.restartNote":"Ponovo pokrenite Codex da biste primijenili eksperimentalne promjene funkcija","settings.general.experimentalFeatures.toggle":"Uključiti/isključiti {featureName}","settings.general.followUpQueueMode.description":"Praćenje čekanja dok Codex radi ili prekid trenutnog rada","settings.general.followUpQueueMode.interrupt":"Upravljaj","settings.general.followUpQueueMode.label":"Ponašanje praćenja","settings.general.followUpQueueMode.queue":"Na čekanju","settings.general.notifications":"Obavještenja","settings.general.power.preventSleepWhileRunning.description":"Držite računar aktivnim dok Codex pokreće niz.","settings.general.power.preventSleepWhileRunning.label":"Spriječite računar od standby načina rada prilikom pokretanja","settings.git.branchPrefix.ariaLabel":"Prefiks grane","settings.git.branchPrefix.description":"Prefiks korišten prilikom kreiranja novih grana u Codexu","settings.git.branchPrefix.label":"Prefiks grane","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Nije uspjelo spremanje prefiksa grane","settings.git.branchPrefix.save.success":"Sačuvan prefiks grane","settings.git.commitInstructions.ariaLabel":"Uputstva za slanje","settings.git.commitInstructions.description":"Dodato za generisanje upita za poruke za slanje","settings.git.commitInstructions.label":"Uputstva za slanje","settings.git.commitInstructions.placeholder":"Dodajte upute za poruke za slanje...","settings.git.commitInstructions.save":"Sačuvaj","settings.git.commitInstructions.save.error":"Neuspješno spremanje uputstva za slanje","settings.git.commitInstructions.save.success":"Uputstva za slanje sačuvane","settings.git.forcePush.ariaLabel":"Uvijek prisilno gurajte","settings.git.forcePush.description":"Koristite --force-with-lease prilikom slanja iz Codexa","settings.git.forcePush.label":"Uvijek prisilno gurajte","settings.git.forcePush.save.disabled":"Uvijek prisilno guranje onemogućeno","settings.git.forcePush.save.enabled":"Uvijek prisilno guranje omogućeno","settings.git.forcePush.save.error":"Nije uspjelo spremanje postavke prisilnog guranja","settings.git.prInstructions.ariaLabel":"Uputstva za zahtjev za povlačenje","settings.git.prInstructions.description":"Dodato strukturi zahtjeva za povlačenje koji su kreirani u Codexu","settings.git.prInstructions.label":"Uputstva za zahtjev za povlačenje","settings.git.prInstructions.placeholder":"Dodajte upute za zahtjev za povlačenje...","settings.git.prInstructions.save":"Sačuvaj","settings.git.prInstructions.save.error":"Neuspješno spremanje uputstva za zahtjev za povlačenje","settings.git.prInstructions.save.success":"Uputstva za zahtjev za povlačenje sačuvana","settings.ide.defaultOpenTarget.description":"Tamo gdje se datoteke i folderi otvaraju zadano","settings.ide.defaultOpenTarget.label":"Zadana destinacija za otvaranje","settings.ide.defaultOpenTarget.placeholder":"Nema pronađenih ciljeva","settings.ide.language.auto":"Automatsko prepoznavanje","settings.ide.language.autoOption":"Automatsko prepoznavanje","settings.ide.language.description":"Jezik za UI aplikacije","settings.ide.language.label":"Jezik","settings.ide.language.search":"Pretražuj jezike","settings.layout.actionButton":"Pokreni ponovo produženje","settings.layout.actionTitle":"Postavke uz radnju","settings.layout.fullWidthTitle":"Postavke (puni obim)","settings.layout.title":"Postavke","settings.localEnvironments.actions.add":"Dodaj radnje","settings.localEnvironments.actions.add.description":"Kreirajte novu komandu koja će se pokretati iz alatne trake.","settings.localEnvironments.actions.add.save":"Sačuvaj","settings.localEnvironments.actions.empty":"Dodaj radnju za pokretanje komandi s lokalne trake alata.","settings.localEnvironments.actions.icon.debug":"Otkloni greške","settings.localEnvironments.actions.icon.run":"Pokreni","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Alat","settings.localEnvironments.actions.item.button.delete":"Izbriši","settings.localEnvironments.actions.item.command":"Skripta radnje","settings.localEnvironments.actions.item.name":"Naziv","settings.localEnvironments.actions.item.platforms":"Platforme","settings.localEnvironments.actions.item.platforms.help":"Pokrenite samo na određenom operativnom sistemu.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Odabir platforme","settings.localEnvironments.actions.item.platforms.specific":"Određena platforma","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Izbriši","settings.localEnvironments.actions.title":"Radnje","settings.localEnvironments.breadcrumb.back":"Nazad","settings.localEnvironments.breadcrumb.edit":"uredi","settings.localEnvironments.breadcrumb.root":"Okruženja","settings.localEnvironments.environment.actions.description":"Ove radnje mogu pokretati bilo koju komandu i biće prikazane u zaglavlju.","settings.localEnvironments.environment.actionsLabel":"Radnje","settings.localEnvironments.environment.create":"Kreiraj lokalno okruženje","settings.localEnvironments.environment.defaultName":"lokalno","settings.localEnvironments.environment.edit":"Uredi lokalno okruženje","settings.localEnvironments.environment.empty":"Za ovaj projekat nije još podešeno lokalno okruženje.","settings.localEnvironments.environment.name":"Naziv","settings.localEnvironments.environment.setup":"Skripta podešavanja","settings.localEnvironments.environment.setup.description":"Ova skripta će se pokretati na kreiranju rasporeda rada.","settings.localEnvironments.environment.setup.hint":"Radi u korijenu projekta.","settings.localEnvironments.environment.setup.platformOverrides":"Nadjačavanja platforme","settings.localEnvironments.environment.setup.platformOverrides.add":"Dodaj {platform} skriptu podešavanja","settings.localEnvironments.environment.setup.platformOverrides.description":"Nadjačavanje predodređene skripte za određene operativne sisteme.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Ukloni","settings.localEnvironments.environment.setup.script":"Skripta","settings.localEnvironments.environment.title":"Detalji okruženja","settings.localEnvironments.file.missing":"Sačuvajte za kreiranje ove datoteke po prvi put.","settings.localEnvironments.file.parseError":"Nemoguće raščlaniti postojeću datoteku. Spremanje će izbrisati stara verzija. ({error})","settings.localEnvironments.file.path":"Datoteka:{path}","settings.localEnvironments.file.readError":"Neuspješno učitavanje podataka o lokalnom okruženju. ({error})","settings.localEnvironments.file.title":"Datoteka lokalnog okruženja","settings.localEnvironments.loading.body":"Preuzimanje konfiguracije vašeg projekta.","settings.localEnvironments.loading.title":"Učitavanje lokalnih okruženja","settings.localEnvironments.preview.devOnly":"(samo za programere)","settings.localEnvironments.preview.save":"Sačuvaj","settings.localEnvironments.preview.saveError":"Neuspješno spremanje datoteke. ({error})","settings.localEnvironments.preview.title":"Pregled","settings.localEnvironments.save.disabled.name":"Dodajte naziv okruženja za spremanje.","settings.localEnvironments.save.disabled.noChanges":"Nema promjena za spremiti.","settings.localEnvironments.save.disabled.saving":"Spremanje...","settings.localEnvironments.save.success":"Sačuvano lokalno okruženje","settings.localEnvironments.unavailable.body":"Nismo mogli učitati podešavanja lokalnog okruženja za ovaj projekat.","settings.localEnvironments.unavailable.title":"Nedostupna lokalna okruženja","settings.localEnvironments.workspace.add":"Dodaj projekat","settings.localEnvironments.workspace.title":"Projekat","settings.localEnvironments.workspaceSelect.addLabel":"Dodaj okruženje","settings.localEnvironments.workspaceSelect.description":"Lokalno okruženje kaže Codexu kako podesiti raspored rada za projekat. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Još nema projekata. Dodajte ga kako biste podesili lokalna okruženja.","settings.localEnvironments.workspaceSelect.errorLabel":"Potrebna provjera okruženja","settings.localEnvironments.workspaceSelect.learnMore":"Saznajte više","settings.localEnvironments.workspaceSelect.listLabel":"Dostupni projekti","settings.localEnvironments.workspaceSelect.loading":"Učitavanje projekata.","settings.localEnvironments.workspaceSelect.loadingLabel":"Učitavanje okruženja","settings.localEnvironments.workspaceSelect.title":"Odaberi projekat","settings.localEnvironments.workspaceSelect.viewAction":"Pogledaj","settings.mcp.addServer":"Dodaj server","settings.mcp.app.configure":"Podesi","settings.mcp.app.connect":"Poveži","settings.mcp.apps.refresh":"Osvježi","settings.mcp.detail.addArgument":"Dodaj argument","settings.mcp.detail.addEnvVar":"Dodaj varijabilno okruženje","settings.mcp.detail.addEnvVarPassthrough":"Dodaj varijablu","settings.mcp.detail.args":"Argumenti","settings.mcp.detail.back":"Nazad","settings.mcp.detail.command":"Komanda za pokretanje","settings.mcp.detail.cwd":"Radni direktorij","settings.mcp.detail.docs":"Otvori MCP dokumentaciju","settings.mcp.detail.docs.link":"Dokumenti","settings.mcp.detail.envVarPassthrough":"Propusnost varijabli okruženja","settings.mcp.detail.envVars":"Varijable okruženja","settings.mcp.detail.http.addEnvHeader":"Dodaj varijablu","settings.mcp.detail.http.addHeader":"Dodaj zaglavlje","settings.mcp.detail.http.bearerToken":"Token nosilac varijabla okruženja","settings.mcp.detail.http.envHeaders":"Zaglavlja iz varijabli okruženja","settings.mcp.detail.http.headers":"Zaglavlja","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Naziv","settings.mcp.detail.save":"Sačuvaj","settings.mcp.detail.switchTransportNotice":"Ako želite zamijenti MCP vrstu servera, molimo da prvo deinstalirate.","settings.mcp.detail.titleExisting":"Ažuriraj {name} MCP","settings.mcp.detail.titleNew":"Poveži se na prilagođeni MCP","settings.mcp.detail.transport.http":"HTTP koji se može strimovati","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Deinstaliraj","settings.mcp.empty":"Nema povezanih prilagođenih MCP servera","settings.mcp.myServers":"Prilagođeni serveri","settings.mcp.partnerServer.description.figma":"Generirajte bolji kod uključivanjem punog Figma konteksta","settings.mcp.partnerServer.description.github":"Integrirajte se s GitHub API-jima za automatizaciju radnih procesa i izdvajanje podataka","settings.mcp.partnerServer.description.linear":"Integrirajte se s Linearovim praćenjem problema i upravljanjem projektima","settings.mcp.partnerServer.description.notion":"Čitajte dokumente, ažurirajte stranice, upravljajte zadacima","settings.mcp.partnerServer.description.playwright":"Integrirajte automatizaciju pretraživača za implementaciju dizajna i testiranje UI.","settings.mcp.partnerServer.install":"Instaliraj","settings.mcp.partnerServer.installAndAuthenticate":"Instaliraj i autentificiraj","settings.mcp.partnerServer.logoAlt":"{label} logotip","settings.mcp.partnerServer.manage":"Upravljaj","settings.mcp.partnerServer.vendor":"Od strane {vendor}","settings.mcp.recommendedServers":"Preporučeni serveri","settings.mcp.restartApp":"Započni ponovo","settings.mcp.restartExtension":"Pokreni ponovo produženje","settings.mcp.server.enable":"Omogući","settings.mcp.server.login":"Izvršite autentifikaciju","settings.mcp.server.settings":"Postavke","settings.multiselect.createOption":'Kreiraj "{value}"',"settings.multiselect.removeOption":"Ukloni","settings.nav.account":"Račun","settings.nav.agent":"Konfiguracija","settings.nav.ariaLabel":"Postavke","settings.nav.back":"Nazad na aplikaciju","settings.nav.data-controls":"Arhivirani nizovi","settings.nav.environments":"Cloud okruženja","settings.nav.externalTooltip":"[alpha] Otvara se u pretraživaču","settings.nav.general-settings":"Opće","settings.nav.git-settings":"Git","settings.nav.local-environments":"Okruženja","settings.nav.mcp-settings":"MCP serveri","settings.nav.notImplemented":"[alpha] Nije dostupno u Alphi","settings.nav.personalization":"Personalizacija","settings.nav.skills-settings":"Vještine","settings.nav.usage-analytics":"Upotreba i analitika","settings.nav.worktrees":"Rasporedi rada","settings.openSourceLicenses.back":"Nazad","settings.openSourceLicenses.loading":"Učitavanje...","settings.openSourceLicenses.missing":"Nisu pronađene nikakve obavijesti trećih strana.","settings.openSourceLicenses.notSupported":"Nije dostupno na ovom domaćinu.","settings.openSourceLicenses.rowDescription":"Obavještenja trećih strana za paketne zavisnosti","settings.openSourceLicenses.rowLabel":"Licence otvorenog koda","settings.openSourceLicenses.subtitle":"Obavještenja trećih strana za zavisnosti uključene u ovu aplikaciju","settings.openSourceLicenses.title":"Licence otvorenog koda","settings.openSourceLicenses.view":"Pogledaj","settings.personalization.agents.description":"Uredite uputstva koja prilagođavaju Codex vama. {learnMore}","settings.personalization.agents.learnMore":"Saznajte više","settings.personalization.agents.loadError":"Nije moguće učitati agente.md.","settings.personalization.agents.loading":"Učitavanje agenata.md...","settings.personalization.agents.placeholder":"Dodaj prilagođena uputstva...","settings.personalization.agents.retry":"Pokušajte ponovo","settings.personalization.agents.save":"Sačuvaj","settings.personalization.agents.save.error":"Nemoguće sačuvati agente.md","settings.personalization.agents.save.success":"Sačuvani agenti.md","settings.personalization.agents.title":"Prilagođena uputstva","settings.personalization.personality.description":"Odaberite zadani ton za odgovore Codexa","settings.personalization.personality.label":"Ličnost","settings.sample.contentBody":"Koristite ovaj raspored za pripremu vaših panela postavki uz istovjetan razmak","settings.sample.contentTitle":"Uzorak bloka sadržaja","settings.section.account":"Račun","settings.section.agent":"Konfiguracija","settings.section.data-controls":"Arhivirani nizovi","settings.section.environments":"Cloud okruženja","settings.section.external":"Otvara se u vašem pretraživaču tokom Alphe","settings.section.general-settings":"Opće","settings.section.git-settings":"Git","settings.section.local-environments":"Okruženja","settings.section.mcp-settings":"MCP serveri","settings.section.mcp-settings.docs":"Dokumenti","settings.section.mcp-settings.subtitle":"Povežite vanjske alate i izvore podataka.","settings.section.personalization":"Personalizacija","settings.section.skills-settings":"Vještine","settings.section.unavailable":"Još nije dostupno u Alphi","settings.section.usage-analytics":"Upotreba i analitika","settings.section.worktrees":"Rasporedi rada","settings.threadDetail.description":"Odaberite koliko izlaza komandi se prikazuje u nizovima","settings.threadDetail.label":"Detalji o nizu","settings.worktrees.conversation.untitled":"Razgovor bez naslova","settings.worktrees.delete.error":"Neuspješno brisanje rasporeda rada","settings.worktrees.empty.body":"Rasporedi rada kreirani u Codexu će se pojaviti ovdje.","settings.worktrees.empty.title":"Još nema rasporeda rada","settings.worktrees.error.body":"Došlo je do problema prilikom učitavanja rasporeda rada.","settings.worktrees.error.retry":"Pokušajte ponovo","settings.worktrees.error.title":"Nije moguće učitati rasporede rada","settings.worktrees.loading.body":"Preuzimanje detalja rasporeda rada.","settings.worktrees.loading.title":"Učitavanje rasporeda rada","settings.worktrees.repository.loading":"Učitavanje metapodataka repozitorija...","settings.worktrees.repository.unknown":"Nepoznat repozitorij","settings.worktrees.row.conversations":"Razgovori","settings.worktrees.row.conversations.empty":"Nema razgovora povezanih na ovaj raspored rada.","settings.worktrees.row.conversations.loading":"Učitavanje razgovora...","settings.worktrees.row.delete":"Izbriši","settings.worktrees.row.title":"Raspored rada","sidebarElectron.addWorkspaceRoot":"Dodaj novi projekat","sidebarElectron.archiveThread":"Arhivski niz","sidebarElectron.archiveThreadError":"Neuspješno arhiviranje niza","sidebarElectron.collapseFolder":"Skupi folder","sidebarElectron.createStableWorktree.dialog.cancel":"Otkaži","sidebarElectron.createStableWorktree.dialog.create":"Kreiraj","sidebarElectron.debugNavLink":"Otkloni greške","sidebarElectron.editWorkspaceRootOptionName":"Uredi naziv","sidebarElectron.expandFolder":"Proširi folder","sidebarElectron.groupByMenu.recency":"Hronološka lista","sidebarElectron.groupByMenu.title":"Organizuj","sidebarElectron.groupByMenu.workspace":"Po projektu","sidebarElectron.inboxRouteNavLink":"Automatizacije","sidebarElectron.markThreadUnread":"Označi kao nepročitano","sidebarElectron.missingWorkspaceRoot":"Ovaj folder projekta je izbrisan ili premješten","sidebarElectron.newThread":"Novi niz","sidebarElectron.newThreadInGroup":"Započni novi niz u {folder}","sidebarElectron.noRecentThreads":"Nema nedavnih nizova","sidebarElectron.noTasks":"Nema nizova","sidebarElectron.noTasks.start":"Dodaj novi projekat","sidebarElectron.noTasksWithFilter":"Nema nizova koji odgovaraju filterima","sidebarElectron.pinnedThreads":"Prikačeni nizovi","sidebarElectron.recentNavLink":"Nizovi","sidebarElectron.recentThreads":"Nedavni nizovi","sidebarElectron.removeWorkspaceRootOption":"Ukloni","sidebarElectron.renameThread":"Promijeni naziv niza","sidebarElectron.renameThreadDialogAriaLabel":"Naziv niza","sidebarElectron.renameThreadDialogCancel":"Otkaži","sidebarElectron.renameThreadDialogPlaceholder":"Dodaj naziv...","sidebarElectron.renameThreadDialogSave":"Sačuvaj","sidebarElectron.renameThreadDialogSubtitle":"Neka bude kratak i prepoznatljiv.","sidebarElectron.renameThreadDialogTitle":"Promijeni naziv niza","sidebarElectron.renameThreadError":"Neuspješna promjena naziva niza.","sidebarElectron.renameWorkspaceRootOptionLabel":"Naziv koji se prikazuje","sidebarElectron.showLess":"Prikaži manje","sidebarElectron.showMenu.all":"Svi nizovi","sidebarElectron.showMenu.relevant":"Relevantni","sidebarElectron.showMenu.relevantHint":"Prikaži samo nedavne teme za trenutnu granu, radna stabla ili druge teme koje zahtijevaju vašu pažnju","sidebarElectron.showMenu.title":"Prikaži","sidebarElectron.showMenu.tooltip":"Filtriraj, sortiraj i organizuj nizove","sidebarElectron.showMenu.trigger":"Filtriraj nizove u bočnim trakama","sidebarElectron.showMore":"Prikaži više","sidebarElectron.skillsRouteNavLink":"Vještine","sidebarElectron.sortMenu.created":"Kreirano","sidebarElectron.sortMenu.title":"Sortiraj po","sidebarElectron.sortMenu.updated":"Ažurirano","sidebarElectron.taskNavigation":"Folderi automatizacije","sidebarElectron.tasksInFolder":"Automatizacije u {folder}","sidebarElectron.workspaceOptions":"Radnje projekta za {folder}","sidebarElectron.worktreeGroupTooltip":"Ovo je git raspored rada","skills.appsPage.createSkill":"Nova vještina","skills.appsPage.empty.skills":"Nema pronađenih vještina","skills.appsPage.search.skills":"Vještine pretraživanja","skills.appsPage.search.skills.label":"Vještine pretraživanja","skills.appsPage.section.installedApps":"Instalirano","skills.appsPage.section.skills":"Vještine","skills.appsPage.subheading":"Dajte Codexu supermoći.<link>Saznajte više</link>","skills.appsPage.tab.recommended":"Preporučeno","skills.appsPage.tab.skills":"Vještine","skills.card.contentsError":"Nemoguće učitati sadržaj vještine.","skills.card.disable":"Onemogući","skills.card.disableSuccess":"{skillName} vještina onemogućeno","skills.card.disabledBadge":"Onemogućeno","skills.card.enable":"Omogući","skills.card.enableSuccess":"{skillName} vještina omogućeno","skills.card.loadingContents":"Učitavanje sadržaja vještine...","skills.card.more":"Više radnji","skills.card.open":"Otvoreno","skills.card.removeFailed":"Deinstalacija vještine nije uspjela","skills.card.removeSuccess":"{skillName} vještina deinstalirano","skills.card.toggleEnabledError":"Neuspješno ažuriranje vještine","skills.card.try":"Pokušaj","skills.card.trySkill":"Isprobaj vještinu","skills.card.uninstall":"Deinstaliraj","skills.hero.dotLabel":"Idite na slajd {index}","skills.hero.next":"Sljedeća funkcija","skills.hero.trySkill":"Isprobaj vještinu","skills.page.createSkill":"Nova vještina","skills.page.empty":"Nema pronađenih vještina","skills.page.filteredEmpty":"Nijedna vještina ne odgovara vašim filterima","skills.page.filteredEmptyDescription":"Probajte prilagođavanje vašem pretraživanju ili filterima obima","skills.page.heading":"Vještine","skills.page.loading":"Učitavanje vještina...","skills.page.refreshSkills":"Osvježi","skills.page.refreshSkillsToUseNew":"Osvježi da koristiš nove vještine","skills.page.search":"Vještine pretraživanja","skills.page.search.label":"Vještine pretraživanja","skills.page.subheading":"Dajte Codexu supermoći.<link>Saznajte više</link>","skills.preview.copyPrompt":"Upit za kopiranje","skills.preview.examplePrompt":"Primjer upita","skills.recommended.error":"Nemoguće učitati preporučene vještine","skills.recommended.install":"Instaliraj","skills.recommended.installSkill":"Instaliraj vještinu","skills.recommended.installSuccess":"{skillName} vještina instalirano","skills.recommended.installed":"Instalirano","skills.scope.admin":"Administrator","skills.scope.adminInstalled":"Administrator instaliran","skills.scope.builtIn":"Sistem","skills.scope.personal":"Lični","skills.scope.repo":"Repozitorij","skills.scope.system":"Sistem","skills.scope.team":"Tim","skills.scope.user":"Korisnik","skills.section.installed":"Instalirano","skills.section.recommended":"Preporučeno","story.slidingToggle.existing":"Postojeća","story.slidingToggle.fromLocal":"S lokalnog","story.slidingToggle.new":"Novo","story.slidingToggle.toLocal":"Na lokalno","terminal.close":"Zatvori terminal","terminal.title":"Terminal","thinkingShimmer.default":"Razmišljanje","threadEnvIcon.cloudTooltip":"Ovaj razgovor se vodi u Codex Cloudu.","threadEnvIcon.localTooltip":"Ovaj razgovor se vodi lokalno.","threadEnvIcon.worktreeTooltip":"Ovaj razgovor se vodi u lokalnom git radnom stablu.","threadHeader.archiveConfirmCancel":"Otkaži","threadHeader.archiveConfirmConfirm":"Arhiviraj","threadHeader.copySessionId":"Kopiraj ID sesije","threadHeader.copyWorkingDirectory":"Kopiraj radni direktorij","threadHeader.forkIntoLocal":"Prebaci u lokalni","threadHeader.forkIntoWorktree":"Prebaci u novi raspore rada","threadHeader.forkPendingWorktreePrompt":"Prebaci ovaj razgovor u novi raspored rada.","threadHeader.forkPendingWorktreeTitle":"Prebačeni razgovor","threadHeader.forkThreadError":"Neuspješno prebacivanje niza","threadHeader.forkThreadRequiresGitRepo":"Prebacivanje u novi raspored rada zahtijeva git repozitorij","threadHeader.moreActions":"Radnje na nizovima","threadPage.newThread":"Novi niz","threadPage.runAction.changeEnvironment":"Promijeni okruženje","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} radnje","threadPage.runAction.environmentSelector.label":"Izaberi okruženje","threadPage.runAction.label":"Pokreni","threadPage.runAction.missing.label":"Podesite radnju za pokretanje","threadPage.runAction.setup.commandLabel":"Komanda za pokretanje","threadPage.runAction.setup.description":"Recite Codexu kako da instalira zavisnosti i pokrene vašu aplikaciju.","threadPage.runAction.setup.editMore":"Postavke okruženja","threadPage.runAction.setup.placeholder":"npr: npm install npm run","threadPage.runAction.setup.submit":"Sačuvaj i pokreni","threadPage.runAction.setup.title":"Pokreni","threadPage.runAction.tooltip.withEnvironment":"{environmentName} radnje","threadPage.toggleDiffPanel":"Uključiti/isključiti panel razlika","threadPage.toggleTerminal":"Uključi/isključi terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Otvori folder","toolSummaryForCmd.exploredFiles":"<verb>Navedene</verb> datoteke","toolSummaryForCmd.exploredFilesInPath":"<verb>Navedene</verb> datoteke u {path}","toolSummaryForCmd.exploringFiles":"<verb>Navođenje</verb> datoteka","toolSummaryForCmd.exploringFilesInPath":"<verb>Navođenje</verb> datoteka u {path}","toolSummaryForCmd.ranGenericCommand":"<status>Pokrenuta komanda</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Pokrenuto</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Čitaj</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Pokretanje komande</status>{timer}","toolSummaryForCmd.runningTimer":"za {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Pretraživano</verb> za {query}","toolSummaryForCmd.searchedForFiles":"<verb>Pretraživane</verb> datoteke","toolSummaryForCmd.searchedForInPath":"<verb>Pretraživane</verb> {query} u {path}","toolSummaryForCmd.searchingFor":"<verb>Pretraživanje</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Pretraživanje</verb>datoteka","toolSummaryForCmd.searchingForInPath":"<verb>Pretraživanje</verb> {query} u {path}","traceRecording.startDetails.cancel":"Otkaži","wham.diff.addComment":"Dodajte komentar","wham.diff.binaryFile":"Binarna datoteka se ne prikazuje","wham.diff.noContent":"Nema sadržaja","wham.fileTag.deleted":"Obrisano","wham.fileTag.new":"Novo","wham.formattedRelativeDateTime.compactDaysAgo":"{value} dana","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mjeseci","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} sedmica","wham.formattedRelativeDateTime.compactYearsAgo":"{value} godina","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Rad na vašem zadatku","wham.whamProposedTask.title":"Predloženi zadatak","wham.whamProposedTask.useSuggestion":"Koristi prijedlog","workspaceRootDialog.addError":"Neuspješno dodavanje projekta","workspaceRootDialog.cancel":"Otkaži","workspaceRootDialog.confirmAdd":"Dodaj projekat","workspaceRootDialog.confirmPick":"Koristi projekat","workspaceRootDialog.description":"Unesite putanju na {host} za korištenje kao projekat.","workspaceRootDialog.pathLabel":"Putanja projekta","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Dodaj putanju projekta","workspaceRootDialog.title.pick":"Odaberi putanju projekta","worktreeInitV2.cancel":"Otkaži","worktreeInitV2.notification.failedTitle":"Podešavanje rasporeda rada neuspjelo","worktreeInitV2.output.empty":"Čekanje izlaza...","worktreeInitV2.status.error":"Podešavanje rasporeda rada neuspjelo.","worktreeInitV2.status.running":"Kreiranje rasporeda rada i pokretanje podešavanja.","worktreeInitV2.status.runningFork":"Kreiranje rasporeda rada za prebacivanje ovog razgovora.","worktreeInitV2.status.success":"Raspored rada spreman.","worktreeInitV2.title":"Kreiranje rasporeda rada","worktreeInitV2.workLocallyInstead":"Radite lokalno umjesto toga","worktreeRestoreBanner.body":"Raspored rada ovog niza je uklonjen radi uštede prostora na disku.","worktreeRestoreBanner.missing.body":"Radni direktorij ovog niza više ne postoji","worktreeRestoreBanner.missing.title":"Nedostaje trenutni radni direktorij","worktreeRestoreBanner.restore.error":"Neuspješno obnavljanje rasporeda rada: {message}","worktreeRestoreBanner.restore.success":"Obnovljen raspored rada","worktreeRestoreBanner.restoreCta":"Obnovi raspored rada","worktreeRestoreBanner.title":"Počišćen raspored rada"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopiraj","app.sidebar.hide":"Sakrij bočnu traku","app.sidebar.show":"Prikaži bočnu traku","app.sidebar.tooltip":"Uključi bočnu traku","appHeader.installUpdate":"Ažuriraj","appSunset.body":"Ova verzija aplikacije više nije podržana. Molimo preuzmite najnoviju verziju <here>ovdje</here>.","appSunset.title":"Potrebno ažuriranje","automation.updateDirective.create":"Kreiraj","automation.updateDirective.open":"Otvoreno","automation.updateDirective.untitled":"Neimenovana automatizacija","automation.updateDirective.update":"Ažuriraj","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# pokušaj} few {# pokušaja} other {# pokušaja}}","cloudTaskRow.archiveError":"Neuspješno arhiviranje zadatka","code.diff.requestChange":"Traži izmjenu","code.diffComment.cancel":"Otkaži","code.diffComment.comment":"Komentar","code.diffComment.delete":"Izbriši","code.diffComment.save":"Sačuvaj","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nisu zabilježeni pronalasci.","codex.alert.closeAriaLabel":"Zatvori","codex.appUpsellBanner.cbpApi.message":"Gradite brže uz Codex aplikaciju. Preuzmite odmah ili {learnMoreLink}.","codex.appUpsellBanner.download":"Preuzmi","codex.appUpsellBanner.freeGo.message":"Codex je uključen u vaš plan do 2. marta. Isprobajte Codex aplikaciju za bržu izgradnju.","codex.appUpsellBanner.later":"Kasnije","codex.appUpsellBanner.learnMoreLowercase":"Saznajte više","codex.appUpsellBanner.new":"Novo","codex.appUpsellBanner.proPlusBusiness.message":"Isprobajte Codex aplikaciju s 2x ograničenjima brzine do 2. aprila. Preuzmite odmah ili {learnMoreLink}.","codex.appUpsellBanner.title":"Codex aplikacija","codex.applyDropdown.header.changes":"Promjene","codex.applyDropdown.header.fileCount":"{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","codex.applyDropdown.header.rows":"redova","codex.applyDropdown.header.title":"Primjeni izmjene","codex.applyDropdown.header.workspace":"Projekat","codex.applyDropdown.results.conflicted":"{count, plural, one {1 datoteka u konfliktu} few {{count} datoteke u konfliktu:} other {{count} datoteka u konfliktu:}}","codex.applyDropdown.results.empty":"Nema kopiranih datoteka","codex.applyDropdown.results.skipped":"{count, plural, one {1 datoteka preskočena:} few {{count} datoteke preskočene:} other {{count} datoteka preskočeno:}}","codex.applyOrRevertBanner.apply":"Primijeni","codex.applyOrRevertBanner.applyMessage":"Primjeni promjene i nastavi lokalno?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ovaj zadatak je napravljen u {environment} tako da se možda neće lako primijeniti.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Izmjene napravljene u {environment} tako da se možda neće lako primijeniti.","codex.applyOrRevertBanner.reapply":"Primjeni ponovo","codex.applyOrRevertBanner.revert":"Vrati","codex.applyOrRevertBanner.revertMessage":"Vrati primjenjene promjene","codex.applyResultsDialog.applied":"Lako primjenjeno ({count})","codex.applyResultsDialog.close":"Zatvori","codex.applyResultsDialog.conflicted":"U konfliktu ({count})","codex.applyResultsDialog.noDetails":"Nema dostupnih detalja o datoteci.","codex.applyResultsDialog.skipped":"Preskočeno ({count})","codex.applyResultsDialog.title":"Primjeni rezultate","codex.archiveInfo":"Pogledaj arhivirane chatove u {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrole podataka","codex.archiveInfo.electron":"Pogledaj arhivirane chatove u {settingsLink}","codex.archiveInfo.extension":"Pregledajte arhivirane razgovore u vašem .codex folderu.","codex.archiveInfo.settingsLink":"Postavke","codex.banner.content.description":"Paralelno izvršavajte zadatke, pratite napredak bilo gdje i pregledajte PR-ove pomoću umjetne inteligencije.","codex.banner.content.headline":"Codex sve to radi.","codex.cloudTaskRow.archiveTask":"Arhiviraj zadatak","codex.cloudTaskRow.confirmArchiveTask":"Potvrdi","codex.command.feedback":"Povratni odgovor","codex.command.findInThread":"Pronađi","codex.command.forceReloadSkills":"Prisilno učitaj vještine ponovo","codex.command.logOut":"Odjavite se","codex.command.manageTasks":"Upravljaj zadacima","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Nazad","codex.command.navigateForward":"Naprijed","codex.command.newThread":"Novi niz","codex.command.nextThread":"Naredni niz","codex.command.openFolder":"Otvori folder","codex.command.openSkills":"Idite na vještine","codex.command.openThreadOverlay":"Izbaci niz","codex.command.personalitySettings":"Ličnost","codex.command.previousThread":"Prethodni niz","codex.command.settings":"Postavke","codex.command.toggleDiffPanel":"Uključiti/isključiti panel razlika","codex.command.toggleSidebar":"Uključi bočnu traku","codex.command.toggleTerminal":"Uključi/isključi terminal","codex.commandGroup.app":"Aplikacija","codex.commandGroup.configure":"Podesi","codex.commandGroup.navigation":"Navigacija","codex.commandGroup.panels":"Paneli","codex.commandGroup.skills":"Vještine","codex.commandGroup.thread":"Niz","codex.commandGroup.workspace":"Projekat","codex.commandMenu.noResults":"Nema podudaranja","codex.commandMenu.searchPlaceholder":"Pretražuj komande","codex.commandMenu.suggestedGroup":"Predloženo","codex.commandMenu.switchWorkspace":"Promijenite projekat","codex.commandMenu.title":"Komandni meni","codex.common.retry":"Pokušajte ponovo","codex.composer.searchBranches":"Pretraži grane","codex.dialog.basic.body":"Ovo je jednostavan modalni dijalog koji koristi naš omotač oko Radix Dialoga.","codex.dialog.basic.cancel":"Otkaži","codex.dialog.basic.confirm":"Potvrdi","codex.dialog.basic.open":"Otvori Dialog","codex.dialog.basic.title":"Uzorak Dialog","codex.dialog.long.close":"Zatvori","codex.dialog.long.line":"Pomjerajuća linija {index} za prikaz dugog sadržaja unutar dijaloga.","codex.dialog.long.open":"Otvori dugi Dialog","codex.dialog.long.title":"Dialog dugog sadržaja","codex.dialog.unstyled.body":"Ova priča pokazuje kako pozivaoci mogu u potpunosti kontrolisati stiliziranje sadržaja dijaloga.","codex.dialog.unstyled.open":"Otvori nestilizirani dijalog","codex.dialog.unstyled.title":"Nestilizirani sadržaj","codex.diff.openInEditorPrompt.openButton":"Otvori u uređivaču","codex.diff.openInEditorPrompt.singleLine":"Ova razlika je prevelika za prikaz ovdje.","codex.diffView.failedToDecodeBase64Diff":"Neuspješno dekodiranje base64 razlike","codex.diffView.filesChanged":"{fileCount, plural, one {# datoteka promijenjena} few {# datoteke promijenjene} other {# datoteka promijenjeno}}","codex.diffView.imagePreviewAlt":"Pregled slike","codex.diffView.imagePreviewEmpty":"Nema slike","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nema različitih datoteka","codex.diffView.pdfPreview.nextPage":"Naredna stranica","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Prethodna stranica","codex.diffView.pdfPreviewEmpty":"Nema PDF pregleda","codex.diffView.pdfPreviewError":"Nije moguće prikazati pregled PDF-a","codex.diffView.richPreviewDisable":"Onemogući puni pregled","codex.diffView.richPreviewEnable":"Omogući puni pregled","codex.diffView.richPreviewLoading":"Učitavanje pregleda...","codex.diffView.richPreviewToggle":"Uključiti/isključiti puni pregled","codex.diffView.switchToUnified":"Prebacite na unificiranu razliku","codex.environmentSelector.noEnvironment":"Nema okruženja","codex.environments.environmentSettings":"Postavke okruženja","codex.environments.learnMore":"Saznajte više","codex.environments.listError":"Neuspješno učitavanje okruženja.","codex.environments.noEnvironmentsFound":"Nema pronađenih okruženja","codex.environments.searchError":"Neuspješno pretraživanje okruženja.","codex.errorBoundary.genericError":"Ups, došlo je do greške","codex.errorBoundary.goHome":"Pokušajte ponovo","codex.file.patch.missing":"Nije moguće napraviti zakrpu za ovu datoteku.","codex.gallery.automations.cwdLabel":"Projekti","codex.gallery.automations.nameLabel":"Naziv","codex.gallery.automations.namePlaceholder":"Napravi sažetak zadatka","codex.gallery.automations.promptLabel":"Upit","codex.gallery.automations.promptPlaceholder":"Opišite šta bi Codex trebao uraditi","codex.gallery.dialogs.automation.label":"Dijalog za automatizaciju","codex.gallery.dialogs.basic.body":"Koristite ovaj raspored za jednostavne potvrde ili kratke obrasce.","codex.gallery.dialogs.basic.cancel":"Otkaži","codex.gallery.dialogs.basic.confirm":"Potvrdi","codex.gallery.dialogs.basic.label":"Osnovni dijalog","codex.gallery.dialogs.basic.title":"Uzorak dijalog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Opišite problem","codex.gallery.dialogs.feedbackSubmission.bad":"Loš rezultat","codex.gallery.dialogs.feedbackSubmission.bug":"Kvar","codex.gallery.dialogs.feedbackSubmission.good":"Dobar rezultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Uključite aktuelne Codex dnevnike sesija","codex.gallery.dialogs.feedbackSubmission.label":"Povratni odgovor poslat","codex.gallery.dialogs.feedbackSubmission.other":"Ostalo","codex.gallery.dialogs.feedbackSubmission.placeholder":"Opišite problem ovdje","codex.gallery.dialogs.feedbackSubmission.submit":"Pošalji","codex.gallery.dialogs.feedbackSubmission.title":"Povratni odgovor","codex.gallery.dialogs.feedbackSuccess.body":"Povratni odgovor otpremljen. Ako problem i dalje postoji, otvorite GitHub problem ili spomenite ID teme u postojećem otvorenom problemu:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Odbaci","codex.gallery.dialogs.feedbackSuccess.label":"Anketa za povratni odgovor","codex.gallery.dialogs.feedbackSuccess.title":"Povratni odgovor otpremljen","codex.gallery.dialogs.gitApplyResults.applied":"Lako primjenjeno (2)","codex.gallery.dialogs.gitApplyResults.close":"Zatvori","codex.gallery.dialogs.gitApplyResults.conflicted":"U konfliktu (1)","codex.gallery.dialogs.gitApplyResults.label":"Primjeni rezultate","codex.gallery.dialogs.gitApplyResults.title":"Primjeni rezultate","codex.gallery.dialogs.gitPushError.body":"Preuzmi najnovije promjene ili prisilno izvrši push ako znaš da je sigurno prebrisati udaljenu historiju.","codex.gallery.dialogs.gitPushError.cancel":"Otkaži","codex.gallery.dialogs.gitPushError.force":"Prisilno pritiskanje","codex.gallery.dialogs.gitPushError.label":"Push greška","codex.gallery.dialogs.gitPushError.subtitle":"Vaša grana se nalazi iza origin/main.","codex.gallery.dialogs.gitPushError.title":"Neuspješno potvrđivanje promjena","codex.gallery.dialogs.gitRevert.cancel":"Otkaži","codex.gallery.dialogs.gitRevert.confirm":"Vrati","codex.gallery.dialogs.gitRevert.label":"Vrati izmjene","codex.gallery.dialogs.gitRevert.skip":"Ne pitaj me ponovo","codex.gallery.dialogs.gitRevert.subtitle":"Ova radnja uklanja sve ove izmjene.","codex.gallery.dialogs.gitRevert.title":"Vratiti izmjene?","codex.gallery.dialogs.longForm.label":"Dugi dijalog","codex.gallery.dialogs.proseModal.body":"Ovaj modalni stil se koristi za duže instrukcije, uvođenje u rad ili blokove bogatog sadržaja.","codex.gallery.dialogs.proseModal.close":"Zatvori","codex.gallery.dialogs.proseModal.subtitle":"Podijelite ovdje duže upute ili dokumentaciju za obrazac.","codex.gallery.dialogs.proseModal.title":"Zatvori modal","codex.gallery.dialogs.submitBlocked.label":"Pošalji blokiran","codex.gallery.dialogs.submitBlocked.message":"Vaša poruka nije mogla biti poslana jer projekat nije dostupan.","codex.gallery.dialogs.submitBlocked.ok":"U redu","codex.gallery.dialogs.submitBlocked.title":"Neuspjelo slanje poruke","codex.gallery.dialogs.title":"Dijalozi","codex.gallery.dropdown.filterPlaceholder":"Filtriraj stavke","codex.gallery.dropdowns.actionRow":"Akcioni redovi","codex.gallery.dropdowns.actionRow.disabled":"Onemogućena radnja","codex.gallery.dropdowns.actionRow.primary":"Primarna radnja","codex.gallery.dropdowns.actionRow.secondary":"Sekundarna radnja","codex.gallery.dropdowns.actionRow.trigger":"Prikaži radnje","codex.gallery.dropdowns.basic":"Osnovni padajući meni","codex.gallery.dropdowns.basic.newFile":"Nova datoteka","codex.gallery.dropdowns.basic.newFolder":"Novi folder","codex.gallery.dropdowns.basic.openSettings":"Otvori postavke","codex.gallery.dropdowns.basic.title":"Brze radnje","codex.gallery.dropdowns.basic.trigger":"Otvori meni","codex.gallery.dropdowns.basic.upload":"Učitaj","codex.gallery.dropdowns.panel":"Panel površina","codex.gallery.dropdowns.panel.apply":"Primijeni","codex.gallery.dropdowns.panel.body":"Pregledajte razlike i primijenite ih na svoj radni prostor.","codex.gallery.dropdowns.panel.preview":"Pregled","codex.gallery.dropdowns.panel.title":"Primjeni izmjene","codex.gallery.dropdowns.panel.trigger":"Otvori panel","codex.gallery.dropdowns.search":"Padajući meni s mogućnošću pretraživanja","codex.gallery.dropdowns.search.first":"Alpha kanal","codex.gallery.dropdowns.search.second":"Beta grana","codex.gallery.dropdowns.search.third":"Kandidat za objavu","codex.gallery.dropdowns.search.trigger":"Filtriraj stavke","codex.gallery.dropdowns.submenu":"Padajući meni sa podmenijem","codex.gallery.dropdowns.submenu.optionA":"Projekat alfa","codex.gallery.dropdowns.submenu.optionB":"Projekat beta","codex.gallery.dropdowns.submenu.optionC":"Projekat gamma","codex.gallery.dropdowns.submenu.primary":"Dodijeli vlasnika","codex.gallery.dropdowns.submenu.secondary":"Pomjeri na","codex.gallery.dropdowns.submenu.tertiary":"Arhiviraj","codex.gallery.dropdowns.submenu.trigger":"Odaberi radnju","codex.gallery.dropdowns.title":"Padajući meniji","codex.gallery.inbox.automations.close":"Zatvori","codex.gallery.inbox.automations.popover.cardTitle":"Upravljaj automatizacijama","codex.gallery.inbox.automations.popover.dialogTitle":"Upravljaj automatizacijama","codex.header.settingsTooltip":"Postavke","codex.hunk.patch.error":"Neuspješno postavljanje na scenu","codex.hunk.patch.missing":"Nije moguće napraviti zakrpu za ovaj dio.","codex.hunk.patch.partialSuccess":"Parcijalni uspjeh","codex.hunk.patch.revertError":"Neuspješno povlačenje sa scene","codex.hunk.patch.revertSuccess":"Uspješno povlačenje sa scene","codex.hunk.patch.success":"Uspješno postavljanje na scenu","codex.legal.autonomy.details":"Za više detalja, pogledajte {link}","codex.legal.autonomy.details.link":"Codex dokumenti","codex.legal.autonomy.title":"Odlučite koliko nezavisnosti želite dodijeliti","codex.legal.backButton":"Nazad","codex.legal.cloud.taskOne.meta":"openai/agi · 12. oktobar","codex.legal.cloud.taskOne.title":"Objasnite repozitorij novom dizajneru","codex.legal.cloud.taskThree.meta":"openai/codex · 8. oktobar","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Kreiraj temu darkmode","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. oktobar","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ispravi grešku prilikom pristupanja","codex.legal.continue.apikey":"Nastavi","codex.legal.continueButton":"Sljedeće","codex.legal.copilot.details":"Koristi vaš Copilot plan za sve pozive modela, naplatu i ograničenja cijena. Korištenje Codex ekstenzije podliježe {oaiTos} i {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHub uslovi pružanja usluga","codex.legal.copilot.oaiTosLink":"OpenAI Codex uslovi pružanja usluga","codex.legal.copilot.title":"Pokreće GitHub Copilot","codex.legal.mistakes.review":"Pregledaj kod koji ispisuje i komande koje pokreće","codex.legal.mistakes.title":"Codex može napraviti greške","codex.legal.powered.details":"Koristi ograničenja cijena za vaš plan i {link}","codex.legal.powered.details.link":"preference podataka za obuku","codex.legal.powered.title":"Pokreće vaš ChatGPT račun","codex.legal.step.cloud.subtitle":"Pošaljite zadatke Codexu da ih pokreće u pozadini tako da možete ostati fokusirani i brže se kretati.","codex.legal.step.cloud.title":"Predajte Codexu u cloudu","codex.legal.step.intro.subtitle":"Codex upravlja, uređuje, pokreće komande i izvršava testove direktno u vašem repozitoriju. Pokreće vaš ChatGPT račun.","codex.legal.step.intro.title":"Codex u vašem IDE-u","codex.legal.step.todo.subtitle":"Napišite TODO komentar i pretvorite ga u Codex zadatak uz jedan klik.","codex.legal.step.todo.title":"Pretvorite TODOs u Codex zadatke","codex.legal.todo.heading":"// TODO: implementiraj shemu","codex.localConversation.closeImagePreview":"Sačuvan pregled slike","codex.localConversation.userImageAttachment":"Prilog korisnika","codex.localTaskRow.archiveTask":"Arhivski niz","codex.localTaskRow.awaitingApproval":"Odobrenje na čekanju","codex.localTaskRow.awaitingResponse":"Odgovor na čekanju","codex.localTaskRow.confirmArchiveTask":"Potvrdi","codex.loggedOut.apiKeyPrompt.cancel":"Otkaži","codex.loggedOut.apiKeyPrompt.confirm":"U redu","codex.loggedOut.apiKeyPrompt.getKey":"Dobijte API ključ","codex.loggedOut.apiKeyPrompt.inputLabel":"Unesite svoj OpenAI API ključ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloud zadaci onemogućeni uz API ključ","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloud zadaci onemogućeni uz Copilot i API ključ","codex.loggedOut.signIn":"Prijavite se pomoću ChatGPT-a","codex.loggedOut.signIn.cancel":"Otkaži prijavu","codex.loggedOut.signInWithCopilot":"Prijavite se pomoću GitHub Copilota","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Koristite API ključ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} alat","codex.mcpTool.collapsedLabel.verb.called":"Pozvano","codex.mcpTool.collapsedLabel.verb.calling":"Pozivanje","codex.mcpTool.embeddedResource.contentLabel":"Sadržaj","codex.mcpTool.embeddedResource.mimeTypeLabel":"Vrsta MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Alat nije vratio sadržaj","codex.mcpTool.rawPayloadHeading":"Neobrađen {server}.{tool} alat za pokretanje sadržaja","codex.menu.recent":"Nedavno","codex.menu.seeAllHistory":"Pregledaj cijelu historiju","codex.modelCapacityBanner.headline.noReset":"{modelName} je trenutno popunjen. Pokušajte ponovo kasnije ili započnite novi razgovor s drugim modelom.","codex.modelCapacityBanner.headline.withReset":"{modelName} je trenutno popunjen. Pokušajte ponovo kasnije nakon {resetDate} ili započnite novi razgovor s drugim modelom.","codex.modelCapacityBanner.title":"Odabrani model je popunjen","codex.patch.change.contentsDeleted":"Sadržaj izbrisan","codex.patch.change.created":"Kreirano","codex.patch.change.created-file":"Kreirana datoteka","codex.patch.change.creating":"Kreiranje","codex.patch.change.deleted":"Obrisano","codex.patch.change.deleted-file":"Obrisana datoteka","codex.patch.change.deleting":"Brisanje","codex.patch.change.edited":"Izmijenjeno","codex.patch.change.edited-file":"Izmijenjena datoteka","codex.patch.change.editing":"Izmjena","codex.patch.change.noChanges":"Nema promjena","codex.patch.change.rejected-add":"Odbijeno","codex.patch.change.rejected-delete":"Odbijeno","codex.patch.change.rejected-edit":"Odbijeno","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} od {total} zadataka kompletirano","codex.plan.todoListCreated":"Kreirana lista zadataka sa {total} zadataka","codex.profileDropdown.apiKeyAuth":"Prijavljen/a s API ključem","codex.profileDropdown.codexSettings":"Postavke Codexa","codex.profileDropdown.copilotAuth":"Prijavljen/a s Copilotom","codex.profileDropdown.defaultAccountTitle":"Zadani račun","codex.profileDropdown.enterBehavior":"{modifierSymbol} + pritisnite Enter za slanje dugih upita","codex.profileDropdown.enterBehaviorError":"Ažuriranje postavki nije uspjelo","codex.profileDropdown.getPlus":"Nadogradite za veća ograničenja","codex.profileDropdown.keyboardShortcuts":"Prečice na tastaturi","codex.profileDropdown.language":"Jezik","codex.profileDropdown.languageDefault":"Automatsko prepoznavanje","codex.profileDropdown.languageSearchPlaceholder":"Pretražuj jezike","codex.profileDropdown.languageUpdateError":"Neuspjelo ažuriranje jezika","codex.profileDropdown.logOut":"Odjavite se","codex.profileDropdown.mcp":"Postavke MCP-a","codex.profileDropdown.openConfigToml":"Otvori config.toml","codex.profileDropdown.openConfigToml.wsl":"Otvori config.toml u WSL okruženju","codex.profileDropdown.openExtensionSettings":"Otvori postavke","codex.profileDropdown.openMcpSettings":"Otvori postavke MCP-a","codex.profileDropdown.openOnStartup":"Otvori na pokretanju","codex.profileDropdown.openOnStartupError":"Ažuriranje postavki nije uspjelo","codex.profileDropdown.openSkillsSettings":"Otvori podešavanja vještina","codex.profileDropdown.personalAccountTitle":"Lični račun","codex.profileDropdown.queueFollowUps":"Praćenje čekanja","codex.profileDropdown.queueFollowUpsError":"Ažuriranje postavki nije uspjelo","codex.profileDropdown.readDocs":"Čitaj dokumente","codex.profileDropdown.readSkillsDocs":"Čitaj dokumente","codex.profileDropdown.runInWsl":"Pokreni u WSL-u","codex.profileDropdown.runInWslError":"Ažuriranje postavki nije uspjelo","codex.profileDropdown.runInWslTooltip":"Pokreće Codex unutar WSL-a. Preporučeno za poboljšanu sigurnost izoliranog okruženja i bolju učinkovitost.","codex.profileDropdown.settings":"Postavke IDE-a","codex.profileDropdown.settingsPage":"Postavke","codex.profileDropdown.signInWithOpenAI":"Prijavite se pomoću ChatGPT-a","codex.profileDropdown.skills":"Podešavanje vještina","codex.profileDropdown.switchToCopilotAccount":"Koristite Copilot račun","codex.profileDropdown.switchToOpenAIAccount":"Koristite OpenAI račun","codex.profileDropdown.todoCodelens":"Popravite TODO komentare","codex.profileDropdown.todoCodelensError":"Ažuriranje postavki nije uspjelo","codex.profileDropdown.windowsDocumentation":"Windows dokumentacija","codex.profileFooter.signedInFallback":"Postavke","codex.profileFooter.upgrade":"Nadogradi","codex.recentTasksMenu.clearSearch":"Izbriši pretraživanje","codex.recentTasksMenu.cloud":"Cloud zadaci","codex.recentTasksMenu.count":"{count, plural, =0 {Nema zadataka u toku} one {# zadatak u toku} few {# zadataka u toku} other {# zadataka u toku}}","codex.recentTasksMenu.empty":"Još nema nizova","codex.recentTasksMenu.errorCloud":"Neuspjelo učitavanje zadataka.","codex.recentTasksMenu.errorCloud.inline":"Neuspješno učitavanje cloud zadataka.","codex.recentTasksMenu.filterAll":"Sve","codex.recentTasksMenu.filterCloudTasks":"Filtriraj cloud zadatke","codex.recentTasksMenu.filterTooltip":"Filtriraj zadatke po okruženju","codex.recentTasksMenu.local":"Lokalni zadaci","codex.recentTasksMenu.recent":"Svi zadaci","codex.recentTasksMenu.search":"Pretražuj nedavne zadatke","codex.recentTasksMenu.searchEmpty":"Nema rezultata","codex.recentTasksMenu.tooltip":"Historija zadataka","codex.recentTasksMenu.trigger":"Nedavni zadaci. {count, plural, one {# u toku} few {# u toku} other {# u toku}}","codex.remoteConversation.applyDiff.applyCta":"Primjeni izmjene","codex.remoteConversation.applyDiff.dropdownTitle":"Primjeni izmjene na lokalni ogranak","codex.remoteConversation.applyDiff.revertCta":"Vrati izmjene","codex.remoteConversation.closeImagePreview":"Sačuvan pregled slike","codex.remoteConversation.codexCloudTask":"Vi gledate <u>Codex cloud</u> zadatak ","codex.remoteConversation.errorWithMessage":"Greška: {message}","codex.remoteConversation.loadingImage":"Učitavanje slike","codex.remoteConversation.openInWeb":"Otvori na internetu","codex.remoteConversation.streaming":"Početak","codex.remoteConversation.turnFailed":"Došlo je do greške prilikom ovog zadatka","codex.remoteConversation.turnTab.loading":"Pokušaj {number}","codex.remoteConversation.turnTab.title":"Pokušaj {number}","codex.remoteConversation.userImageAttachment":"Prilog korisnika","codex.remoteConversation.viewPreviousTurns":"Otvori na internetu","codex.remoteConversation.viewPreviousTurns.buttonText":"Otvoreno","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Otvori na internetu","codex.review.copyGitApplyCommand":"Kopiraj git apply komandu","codex.review.copyGitApplyCommand.toast":"Primjeni kopirani git komandu na klipbord","codex.review.diffTooLarge.description":"Ova razlika je prevelika za prikaz u Pregledu.","codex.review.diffTooLarge.title":"Ova razlika je prevelika za prikaz","codex.review.expandOrCollapseDiffButton.collapse":"Skupi sve razlike","codex.review.expandOrCollapseDiffButton.expand":"Proširi sve razlike","codex.review.expandOrCollapseDiffMenu.collapse":"Skupi sve razlike","codex.review.expandOrCollapseDiffMenu.expand":"Proširi sve razlike","codex.review.fileSearch.clear":"Obriši filtere datoteke","codex.review.fileSearch.empty":"Nema snova koji se podudaraju trenutnom filteru.","codex.review.fileSearch.label":"Datoteke filtera","codex.review.fileSearch.placeholder":"Datoteke filtera...","codex.review.filesChanged":"{num, plural, =0 {Nema promijenjenih datoteka} one {# datoteka promijenjena} few {# datoteke promijenjene} other {# datoteka promijenjeno}}","codex.review.find.loadMore":"Učitaj više podudaranja","codex.review.fullReview.hideFileTree":"Sakrij stablo datoteke","codex.review.fullReview.showFileTree":"Prikaži stablo datoteke","codex.review.header.moreOptions":"Pregled opcija","codex.review.largeDiff.banner":"Ustanovljena velika razlika - prikazuje jednu datoteku istovremeno.","codex.review.loadFullFiles.disable":"Ne učitavajte cijele datoteke","codex.review.loadFullFiles.enable":"Učitavajte cijele datoteke","codex.review.noDiff":"Kodirane stavke će se pojaviti ovdje","codex.review.noDiff.gitInit.createRepository":"Kreiraj git repozitorij","codex.review.noDiff.gitInit.creating":"Kreiranje...","codex.review.noDiff.gitInit.error":"Git inicijalizacija nije uspjela: {message}","codex.review.noDiff.gitInit.success":"Nema pronađenog git repozitorija","codex.review.noDiff.gitRepoRequired.description":"Praćenje i poništavanje promjena u ovom projektu","codex.review.noDiff.gitRepoRequired.title":"Kreiraj Git repozitorij","codex.review.noDiff.orNoLongerAvailable":"ili posljednje razlike više nisu dostupne","codex.review.noDiff.reverted":"Posljednji pokušaj je vraćen","codex.review.noDiff.revertedOrCommitted":"Posljednji pokušaj je ili vraćen ili iskorišten","codex.review.refreshGitQueries":"Osvježi","codex.review.revert.file.error":"Neuspješno vraćanje {path}","codex.review.revert.file.partialSuccess":"Parcijalno vraćeno {path}","codex.review.revert.file.success":"Vraćeno {path}","codex.review.revert.hunk.error":"Neuspješno vraćanje dijela {hunkNumber} u {path}","codex.review.revert.hunk.partialSuccess":"Parcijalno vraćanje dijela{hunkNumber}u {path}","codex.review.revert.hunk.success":"Vraćanje dijela {hunkNumber} u {path}","codex.review.revert.section.error":"Neuspješno vraćanje dijela","codex.review.revert.section.partialSuccess":"Dio parcijalno vraćen","codex.review.revert.section.success":"Dio vraćen","codex.review.revertDialog.cancel":"Otkaži","codex.review.revertDialog.confirm":"Potvrdi","codex.review.revertDialog.message":"Ova radnja uklanja sve ove izmjene.","codex.review.revertDialog.skip":"Ne pitaj me ponovo","codex.review.revertDialog.title":"Vratiti izmjene?","codex.review.richPreview.disable":"Onemogući puni pregled","codex.review.richPreview.enable":"Omogući puni pregled","codex.review.source.cloud":"Cloud izmjene","codex.review.source.local.all":"Sve promjene grana","codex.review.source.local.lastTurn":"Najnoviji krug izmjena","codex.review.source.local.uncommitted":"Nepotvrđene izmjene","codex.review.source.worktree":"Nepotvrđene promjene rasporeda rada","codex.review.stageFilter.empty.staged.description":"Prihvati izmjene da ih prikažeš","codex.review.stageFilter.empty.staged.title":"Nema promjena za prikaz","codex.review.stageFilter.empty.unstaged.description":"Kodirane stavke će se pojaviti ovdje","codex.review.stageFilter.empty.unstaged.title":"Nema neprikazanih izmjena","codex.review.stageFilter.staged":"Postavljeno na scenu","codex.review.stageFilter.staged.count":"Postavljeno na scenu · {count}","codex.review.stageFilter.unstaged":"Skinuto sa scene","codex.review.stageFilter.unstaged.count":"Skinuto sa scene · {count}","codex.review.switchToSplit":"Prebacite na podjelu razlika","codex.review.switchToUnified":"Prebacite na unificiranu razliku","codex.review.toggleDiffView":"Uključiti/isključiti pregled razlika","codex.review.wordDiffs.disable":"Onemogućiti razlike u tekstu","codex.review.wordDiffs.enable":"Omogućiti razlike u tekstu","codex.review.wrap.disable":"Onemogućiti prelamanje teksta","codex.review.wrap.enable":"Omogućiti prelamanje teksta","codex.section.patch.missing":"Nije moguće napraviti zakrpu za ovaj dio.","codex.shell.collapse":"Skupi okvir","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kopiran sadržaj okvira","codex.shell.copy.copyTooltip":"Kopiraj sadržaj okvira","codex.shell.copyCommand":"Kopiraj komandu","codex.shell.copyOutput":"Kopiraj izlaz","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Proširi okvir","codex.shell.name":"Okvir","codex.shell.noOutput":"Nema izlaza","codex.signInFailed.message":"Prijava nije uspjela: {rawMessage}","codex.stories.toast.show":"Pokaži zdravicu","codex.stories.tooltip.basic":"Ovo je opis alata","codex.stories.tooltip.hoverMe":"Zadrži pokazivač iznad mene","codex.stories.tooltip.largerOffset":"Ovaj opis alata ima veći pomak","codex.stories.tooltip.offsetButton":"Veći pomak","codex.stories.tooltip.shortcutButton":"Uz prečicu","codex.stories.tooltip.withShortcut":"Uključi/isključi terminal","codex.taskRow.title":"Novi niz","codex.taskRowLayout.confirm":"Potvrdi","codex.threadFindBar.chatFilter":"Pretražuj razgovore","codex.threadFindBar.close":"Zatvori pretragu","codex.threadFindBar.diffFilter":"Pretražuj razlike","codex.threadFindBar.label":"Nađi u nizu","codex.threadFindBar.nextResult":"Naredni rezultat","codex.threadFindBar.noResults":"0 rezultata","codex.threadFindBar.placeholder":"Pretraži niz...","codex.threadFindBar.placeholder.extension":"Pretraži niz...","codex.threadFindBar.placeholder.review":"Pretražuj razliku...","codex.threadFindBar.placeholder.review.extension":"Pretražuj razliku...","codex.threadFindBar.previousResult":"Prethodni rezultat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# datoteka promijenjena} few {# datoteke promijenjene} other {# datoteka promijenjeno}}","codex.unifiedDiff.inlineLargeFile":"Preveliko za renderiranje u tekstu","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Poništi","codex.unifiedDiff.revertPatchError":"Neuspješno vraćanje promjena","codex.unifiedDiff.revertPatchSuccess":"Promjene vraćene","codex.unifiedDiff.reviewChangesSuffix":"promjene","codex.unifiedDiff.reviewShort":"Pregledaj","codex.unifiedDiff.viewDiffTooltip":"Pregledaj","codex.upsellBanner.business.headline":"Da biste odmah dobili veći pristup, pošaljite zahtjev svom administratoru, ili sačekajte do {resetDate}.","codex.upsellBanner.cbp.headline":"Da biste odmah dobili veći pristup, pošaljite zahtjev svom administratoru.","codex.upsellBanner.cta.addCredits":"Dodaj zasluge","codex.upsellBanner.cta.upgradeAccount":"Nadogradi","codex.upsellBanner.cta.viewUsage":"Pogledaj korištenje","codex.upsellBanner.freeOrGo.headline":"Vaše ograničenje brzine se resetuje {resetDate}. Da biste nastavili koristiti Codex, nadogradite na Plus već danas.","codex.upsellBanner.general.headline":"Vaše ograničenje brzine se resetuje{resetDate}.","codex.upsellBanner.general.title":"Nestalo vam je Codex poruka","codex.upsellBanner.plus.headline":"Vaše ograničenje brzine se resetuje {resetDate}. Da biste nastavili koristiti Codex, dodajte kredite ili nadogradite na Pro verziju već danas.","codex.upsellBanner.pro.headline":"Vaše ograničenje brzine se resetuje {resetDate}. Dodajte kredite da biste odmah nastavili koristiti Codex.","codex.userMessage.autoResolveSync":"Automatsko rješavanje konflikta","codex.userMessage.commentCount":"{count, plural, one {# komentar} few {# komentara} other {# komentara}}","codex.userMessage.copiedAriaLabel":"Kopirano","codex.userMessage.copiedTooltip":"Kopirano","codex.userMessage.copyAriaLabel":"Kopiraj poruku","codex.userMessage.copyTooltip":"Kopiraj","codex.userMessage.implementPlan":"Plan implementacije","codex.userMessage.noContent":"(Nema sadržaja)","codex.userMessage.priorConversation":"Reference prethodnog razgovora","codex.userMessage.reviewMode":"Način rada pregleda","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"za {query}","codex.webSearch.summary.verb.completed":"Pretraživan internet","codex.webSearch.summary.verb.inProgress":"Pretraživanje interneta","codex.windowsInstallWslBanner.dismiss":"Odbaci","codex.windowsInstallWslBanner.installWslCta":"Omogući sandbox","codex.windowsInstallWslBanner.learnMore":"Saznajte više","codex.windowsSandboxBanner.content":"Agentski način rada koristi eksperimentalni sandbox na Windowsu za ograničavanje sistema datoteka i pristup mreži. {sandboxLink}","codex.windowsSandboxBanner.title":"Omogućite sandbox za agentski način rada","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Postavke Windowsa","codexUpgradeModal.body":"Codex sada pokreće GPT-5.2-Codex, naš najnoviji model kodiranja na granici agentskog pristupa. Što se tiče kodiranja {link}, on predstavlja dalje poboljšanje u odnosu na GPT-5.2.","codexUpgradeModal.close":"Zatvori","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"pametniji i brži","codexUpgradeModal.title":"Codex je upravo dobio ažuriranje","codexUpgradeModal.tryNewModel":"Isprobajte sada GPT-5.2-Codex","codexUpgradeModal.useExistingModel":"Nastavite s aktuelnim modelom","commentAttachments.numComments":"{count, plural, one {# komentar} few {# komentara} other {# komentara}}","commentAttachments.removeAriaLabel":"Uklonite komentare iz priloga","common.close":"Zatvori","composer.addContext.openFilePickerError":"Nemoguće otvoriti birač datoteka","composer.addContextDropdown.ariaLabel":"Otpremite datoteke i još mnogo toga","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Otpremite datoteke i još mnogo toga","composer.addPhotosAndFiles":"Dodaj slike i datoteke","composer.atMentionList.emptyQuery":"Unesite za pretraživanje datoteka","composer.atMentionList.loading":"Pretraživanje...","composer.atMentionList.noResults":"Nema rezultata","composer.attemptsSelector.option":"{count, plural, one {# verzija} few {# verzija} other {# verzija}}","composer.attemptsSelector.tooltip":"Broj paralelnih upita za Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Zaustavi","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokalno","composer.cloudFollowUp.whereRun":"Gdje bi se ovo praćenje trebalo pokrenuti?","composer.cloudTaskCreationError":"Greška pri kreiranju cloud zadatka","composer.cloudTaskError":"Greška prilikom kreiranja zadatka","composer.contextWindow.autoCompactionTooltipLine1":"Codex automatski sažima svoj kontekst","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Kontekst prozor:","composer.contextWindowUsageStatusFull":"{usage}% popunjeno","composer.contextWindowUsageStatusLeft":"{usage}% iskorišteno ({remaining}% preostalo)","composer.contextWindowUsageTooltip":"{usedTokens}hiljada / {contextWindow}hiljada tokena iskorišteno","composer.customCliTooltip":"Korištenje prilagođene CLI izvršne datoteke","composer.dictation.aria":"Diktiraj","composer.dictation.cancel.aria":"Zaustavi diktiranje","composer.dictation.cancel.tooltip":"Zaustavi diktiranje","composer.dictation.startError":"Nemoguće pokrenuti diktiranje","composer.dictation.submit.aria":"Transkribuj i pošalji","composer.dictation.submit.tooltip":"Transkribuj i pošalji","composer.dictation.tooltip":"Drži za diktiranje","composer.dictation.transcribeError":"Nemoguće izvršiti transkripciju audiozapisa","composer.dictation.unsupported":"Diktiranje nije dostupno na ovom uređaju","composer.dropOverlay.holdShift":"Držite{key} za ispuštanje","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Kreiraj novi","composer.environmentSelector.error":"Greška pri učitavanju okruženja","composer.environmentSelector.goBack":"Nazad na uređivač","composer.environmentSelector.title":"Odaberi okruženje","composer.environmentSelector.tooltip":"Odaberite cloud okruženje","composer.feedbackSlashCommand.title":"Povratni odgovor","composer.filePicker.selectFile":"Odaberi datoteku","composer.filePicker.selectFiles":"Odaberi datoteke","composer.followerTooltip":"Da biste nastavili, vratite se na prozor u kojem je ovaj razgovor započeo.","composer.footer.branchSwitch.checkoutError":"Neuspjela promjena grane: {message}","composer.footer.branchSwitch.createAndCheckout":"Kreiraj i naplati novu granu…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Potvrdite promjene da biste kreirali i preuzeli novu granu","composer.footer.branchSwitch.createBranchError":"Neuspješno kreiranje grane: {message} ","composer.footer.branchSwitch.createDialog.ariaLabel":"Naziv grane","composer.footer.branchSwitch.createDialog.branchExistsError":"Grana već postoji.","composer.footer.branchSwitch.createDialog.close":"Zatvori","composer.footer.branchSwitch.createDialog.createAndCheckout":"Kreiraj i naplati","composer.footer.branchSwitch.createDialog.placeholder":"nova-grana","composer.footer.branchSwitch.createDialog.title":"Kreiraj i naplati granu","composer.footer.branchSwitch.createDialog.trailingSlashError":"Naziv grane ne može završavati sa “/”.","composer.footer.branchSwitch.tooltip":"Promijeni granu","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Podnesite promjene u {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}} da provjerite {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Podnesi","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"promjene u {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}} da provjerite {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Otkaži","composer.footer.branchSwitch.uncommittedDialog.commit":"Potvrdi i prebaci granu…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Vaše promjene u sljedećim datotekama će biti prepisane prilikom odjave:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Molimo vas da potvrdite promjene kako biste nastavili","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"odabranu granu","composer.footer.branchSwitch.uncommittedDialog.title":"Potvrdite izmjene za promjenu grane","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nepodnešeno: {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","composer.forkSlashCommand.description":"Prebaci ovaj niz u lokalni ili novi raspored rada","composer.forkSlashCommand.option.local.description":"Nastavi u novom lokalnom nizu","composer.forkSlashCommand.option.local.title":"Prebaci u lokalni","composer.forkSlashCommand.option.worktree.description":"Nastavi u novom rasporedu rada","composer.forkSlashCommand.option.worktree.title":"Prebaci u novi raspore rada","composer.forkSlashCommand.title":"Formiraj","composer.imageInputsUnsupported":"Ovaj model ne podržava slikovne unose. Probajte drugačiji model.","composer.imageUploadFailed":"Neuspjelo učitavanje slike","composer.includeIdeContextDropdown":"Uključi IDE kontekst","composer.includeIdeContextDropdown.ariaLabel":"Uključi IDE kontekst","composer.localCwdDropdown.addWorkspaceRoot":"Dodaj novi projekat","composer.localCwdDropdown.noActiveRoot":"Odaberite svoj projekat","composer.localCwdDropdown.noResults":"Nema pronađenih foldera","composer.localCwdDropdown.title":"Odaberite svoj projekat","composer.localTaskError":"Greška pri pokretanju razgovora","composer.mcpSlashCommand.description":"Prikaži MCP status servera","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nije autentificirano","composer.mcpStatus.authOauth":"Autentificirano (OAuth)","composer.mcpStatus.authToken":"Autentificirano (API ključ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zatvori","composer.mcpStatus.disabled":"Onemogućeno","composer.mcpStatus.emptyLabel":"Serveri:","composer.mcpStatus.emptyValue":"Nisu podešeni MCP serveri","composer.mcpStatus.enabled":"Omogućeno","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Nemoguće učitati MCP status","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Zamijeni način rada","composer.mode.agentMode.custom":"Prilagođeno","composer.mode.agentMode.custom.dropdownLabel":"Prilagođeno","composer.mode.agentMode.custom.option":"Otvori (config.toml)","composer.mode.agentMode.custom.optionLabel":"Otvori (config.toml)","composer.mode.agentMode.customInfo.cancel":"Otkaži","composer.mode.agentMode.customInfo.cli":"Možete prilagoditi ove postavke iz CLI-a ili uređivanjem datoteke direktno.","composer.mode.agentMode.customInfo.confirm":"Koristite prilagođeni način rada","composer.mode.agentMode.customInfo.description":"Prilagođeni način rada se odnosi na odobrenje i sanbox pravila definisana u vašoj <link>config.toml</link> datoteci.","composer.mode.agentMode.customInfo.docs":"Saznajte više o podešavanju odobrenja i pravila izoliranog okruženja u <link>izvršnim dokumentima o okruženju</link>.","composer.mode.agentMode.customInfo.refresh":"Sve promjene stupaju na snagu pri sljedećem pokretanju agenta.","composer.mode.agentMode.customInfo.title":"Kako funkcioniše prilagođeni način rada","composer.mode.agentMode.fullAccess":"Agent (puni pristup)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (puni pristup)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (puni pristup)","composer.mode.agentMode.fullAccessConfirm.caution":"Budite oprezni prilikom omogućavanja potpunog pristupa. Ovo značajno povećava rizik od gubitka podataka, odavanje informacija ili neočekivano ponašanje.","composer.mode.agentMode.fullAccessConfirm.confirm":"Da, nastavi svakako","composer.mode.agentMode.fullAccessConfirm.description":"Kad se Codex pokrene s punim pristupom, može uređivati bilo koju datoteku na vašem računaru i pokretati komande s mrežom, bez vašeg odobrenja.","composer.mode.agentMode.fullAccessConfirm.goBack":"Otkaži","composer.mode.agentMode.fullAccessConfirm.title":"Dozvoliti puni pristup?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Zamijeni način rada","composer.mode.agentMode.tooltip.auto":"Čitajte i uređujte datoteke, i pokrećite komande.","composer.mode.agentMode.tooltip.custom":"Koristite najnovije odobrenje i pravila izoliranog okruženja definisana u config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex može uređivati datoteke van ovog radnog prostora i pokretati komande uz pristup mreži. Budite oprezni prilikom upotrebe.","composer.mode.agentMode.tooltip.readOnly":"Potrebno odobrenje za uređivanje datoteka i pokretanje komandi.","composer.mode.cloud.tooltip":"Radite u cloud okruženju","composer.mode.contactAdmin":"Za bolji pristup, kontaktirajte svog administratora","composer.mode.local":"Lokalno","composer.mode.local.learnMore":"Saznajte više","composer.mode.local.model.custom":"Prilagođeno","composer.mode.local.model.loadingModel":"Učitavanje modela","composer.mode.local.model.selecrReasoningEffort":"Odaberi rezonovanje","composer.mode.local.model.selectModel":"Odaberi model","composer.mode.local.model.tooltip":"Odaberi model","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Visoko","composer.mode.local.reasoning.low.label":"Nisko","composer.mode.local.reasoning.medium.label":"Srednje","composer.mode.local.reasoning.minimal.label":"Minimalno","composer.mode.local.reasoning.none.label":"Ništa","composer.mode.local.reasoning.xhigh.label":"Izuzetno visoko","composer.mode.localRemoteWhereRun":"Odaberite gdje želite pokrenuti zadatak","composer.mode.newTask.header":"Nastavi","composer.mode.rateLimit.day":"{days} dana","composer.mode.rateLimit.heading":"Preostalih ograničenja cijena","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} ograničenje:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {sedmično ograničenje} few {{weeks} sedmice ograničenja} other {{weeks} sedmica ograničenja}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Sedmično} few {{weeks} Sedmice} other {{weeks} Sedmica}}","composer.mode.remote.connectToCloud":"Povežite Codex internet","composer.mode.remote.connectToCloudDisabledTooltip":"Podesite okruženje preko Codex interneta da omogućite slanje zadataka na cloud","composer.mode.remote.selectEnvironment":"Odaberi okruženje","composer.mode.remote.sendToCloud":"Pošaljite na cloud","composer.mode.remote.setupViaWeb":"Podesite okruženje preko Codex interneta","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Rad u cloud okruženju","composer.mode.segmentedToggle.local.tooltip":"Rad u vašem lokalnom projektu","composer.mode.segmentedToggle.worktree.tooltip":"Rad u paralelnom rasporedu rada","composer.mode.upgradeToPlus":"Pređi na Plus","composer.mode.upgradeToPro":"Ažurirajte na Pro","composer.mode.workLocally":"Lokalni projekat","composer.mode.workLocally.currentBranchFallback":"vaš ogranak","composer.mode.workLocally.tooltip":"Rad na {branchName}","composer.mode.worktree":"Novi raspored rada","composer.mode.worktree.submoduleWarning":"Ovaj repozitorij ima git podmodule. Kreiranje radnog stabla može propasti.","composer.mode.worktree.tooltip":"Napravite kopiju svog lokalnog projekta za paralelni rad","composer.mode.worktreeSegment":"Raspored rada","composer.modelChangeDuringConversationWarning.toast":"Promjena modela usred razgovora će smanjiti performanse.","composer.newChat.heading.browser":"Šta bismo trebali dalje kodirati?","composer.permissionsDropdown.custom.label":"Otvori (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Otvori (config.toml)","composer.permissionsDropdown.default.label":"Zadane dozvole","composer.permissionsDropdown.default.optionLabel":"Zadane dozvole","composer.permissionsDropdown.fullAccess.disabled":"Puni pristup je onemogućen protokolom requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Promijeni dozvole","composer.personalitySlashCommand.description.friendly":"Toplo, kolaborativno i korisno","composer.personalitySlashCommand.description.pragmatic":"Sažet, usmjeren na zadatak i direktan","composer.personalitySlashCommand.label.friendly":"Prijateljski","composer.personalitySlashCommand.label.pragmatic":"Pragmatični","composer.personalitySlashCommand.notApplicableSuffix":"(Ne važi za aktuelni model)","composer.personalitySlashCommand.title":"Ličnost","composer.placeholder.cloudFollowUp.directFollowUp":"Provjera ovog cloud zadatka","composer.placeholder.cloudFollowUp.local":"Kreiraj novi zadatak koji se tiče ovog cloud zadatka.","composer.placeholder.cloudFollowUp.workingTree":"Kreiraj novi cloud zadatak koji uključuje trenutni kôd i navest će ovaj zadatak","composer.placeholder.localFollowUp.cloud":"Prati u novom cloud zadatku","composer.placeholder.localFollowUp.locally":"Pitajte za popratne izmjene","composer.placeholder.newTask.cloud":"itajteZatražite od Codexa da odradi bilo šta u cloudu","composer.placeholder.newTask.doAnything":"Zatražite od Codexa da odradi bilo šta","composer.placeholder.newTask.locally":"Pitajte Codex bilo šta, @ za dodavanje datoteka, / za komande","composer.planModeDropdown":"Način rada planiranja","composer.planModeDropdown.ariaLabel":"Način rada planiranja","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Isključite način rada planiranja","composer.planSlashCommand.enableDescription":"Uključite način rada planiranja","composer.planSlashCommand.title":"Način rada planiranja","composer.priorContext.label":"Prethodni kontekst","composer.priorContext.removeAriaLabel":"Ukloni prethodni kontekst","composer.queuedMessage.delete":"Izbrisati poruku na čekanju","composer.queuedMessage.edit":"Uredi poruku","composer.queuedMessage.more":"Radnje u vezi poruka","composer.queuedMessage.sendNow":"Pošalji sada","composer.queuedMessage.turnOff":"Isključite nizanje","composer.reasoningEffort.local.reasoning.tooltip":"Odaberite napor za rezonovanje","composer.remote.branchStartingPoint":"Od koje grane bi ovaj zadatak trebao početi?","composer.remote.branchesSectionHeading":"Grane","composer.remote.currentEditsSuffix.followUp":"Kreirajte novi zadatak koji se tiče ovog cloud zadatka.","composer.remote.currentEditsSuffix.useLocal":"s promjenama lokalnog koda","composer.remote.directFollowUp":"Nemojte koristiti lokalne promjene","composer.remote.errorLoadingBranches":"Greška prilikom učitavanja grana","composer.remote.fromBranch":"Od {branch}","composer.remote.fromCurrentBranch":"Od {branch} (trenutno)","composer.remote.loadingMoreBranches":"Učitavanje...","composer.remote.localFileStateHeading":"Stanje lokalne datoteke","composer.remote.localWorkingTree":"Koristi lokalne promjene","composer.remote.startingPoint":"Od kojeg koda bi trebao ovaj zadatak početi?","composer.reviewMode.branches.error":"Nije moguće učitati grane","composer.reviewMode.branches.retry":"Pokušajte ponovo","composer.reviewMode.gitRoot.error":"Git korijen nije pronađen","composer.reviewMode.option.baseBranch.simple":"Provjerite u odnosu na baznu granu","composer.reviewMode.option.unstaged.simple":"Provjerite nepotvrđene promjene","composer.reviewMode.quickReviewError":"Neuspješno pokretanje provjere koda.","composer.reviewMode.title":"Pregled koda","composer.sandboxButton.unlock.disabled.tooltip":"Puni pristup je onemogućen protokolom requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex može koristiti eksperimentalni sandbox na Windowsu kako bi ograničio pristup datotečnom sistemu i mreži. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Omogućiti Windows Sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Koristi samo za čitanje","composer.searchEnvironments":"Pretražuj okruženja","composer.skillMentionList.app":"Aplikacija","composer.skillMentionList.loading":"Učitavanje vještina...","composer.skillMentionList.noResults":"Nema pronađenih vještina","composer.slashCommands.cloudEnvironment.title":"Cloud okruženje","composer.slashCommands.dialogLabel":"Slash komandni meni","composer.slashCommands.dialogTitle":"Slash komande","composer.slashCommands.disabledTooltip":"Započnite novi razgovor za korištenje slash komandi","composer.slashCommands.inputPlaceholder":"Pretraži","composer.slashCommands.noResults":"Nema komandi","composer.slashCommands.skillsGroup":"Vještine","composer.slashCommands.tooltip":"Pretražuj slash komande","composer.status.close":"Zatvori","composer.statusPlain.alertLabel":"Upozorenje:","composer.statusPlain.alertValue":"{remaining}% ostalo na {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} korišteno / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% preostalo","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ograničenje:","composer.statusPlain.rateLimitDays":"{count}d ograničenje","composer.statusPlain.rateLimitFallbackLabel":"Ograničenje brzine:","composer.statusPlain.rateLimitHours":"{count}h ograničenje","composer.statusPlain.rateLimitLabelBase":"Ograničenje brzine","composer.statusPlain.rateLimitMinutes":"{count}m ograničenje","composer.statusPlain.rateLimitPercent":"{remaining}% preostalo","composer.statusPlain.rateLimitReset":"poništava {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"vrijeme poništavanja nedostupno","composer.statusPlain.rateLimitUnavailable":"Nedostupno","composer.statusPlain.sessionCopiedAriaLabel":"Kopiran ID sesije","composer.statusPlain.sessionCopiedTooltip":"Kopiran ID","composer.statusPlain.sessionCopyAriaLabel":"Kopiraj ID sesije","composer.statusPlain.sessionCopyTooltip":"Kopiraj ID","composer.statusPlain.sessionLabel":"Sesija:","composer.statusSlashCommand.description":"Prikaži ID niza, korištenje konteksta i ograničenja brzine","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"U redu","composer.submit.blockedDialogTitle":"Neuspjelo slanje poruke","composer.submit.emptyMessage":"Unesite poruku za pokretanje","composer.submit.imageInputsUnsupported":"Ukloni slike ili promijeni modele za slanje ove poruke.","composer.submit.loadingLocalConfig":"Učitavanje...","composer.submit.missingCloudConfig":"Morate odabrati cloud okruženje","composer.submit.missingCloudTurn":"Ne može se pratiti ovaj zadatak","composer.submit.noWorkspace":"Dodajte projekat za korištenje Codexa","composer.submit.waitForImageUploads":"Slika koje se otpremaju...","composer.submitButtonTooltip.send":"Pošalji","composer.submitButtonTooltip.stop":"Zaustavi","composer.worktreeEnvironment.create":"Kreiraj lokalno okruženje","composer.worktreeEnvironment.default":"Zadano okruženje","composer.worktreeEnvironment.error":"Greška pri učitavanju okruženja","composer.worktreeEnvironment.loading":"Učitavanje okruženja...","composer.worktreeEnvironment.title":"Lokalno okruženje","composer.worktreeEnvironment.tooltip":"Odaberite lokalno okruženje","composer.worktreeSetupFailed":"Podešavanje rasporeda rada neuspjelo. Provjerite .codex/okruženje za skriptu podešavanja. ","compoundButton.secondaryAction":"Sekundarna radnja","copyButton.copied":"Kopirano","copyButton.copiedAriaLabel":"Kopirano","copyButton.copy":"Kopiraj","copyButton.copyAriaLabel":"Kopiraj","copyButton.copyCode":"Kopiraj kôd","diff.actionButton.revertFile":"Vrati datoteku","diff.actionButton.revertHunk":"Vrati","diff.actionButton.revertSection":"Vrati sve","diff.actionButton.revertSectionLabel":"Vrati sve","diff.actionButton.stageFile":"Postavi datoteku na scenu","diff.actionButton.stageHunk":"Postaviti na scenu","diff.actionButton.stageSection":"Postavi sve na scenu","diff.actionButton.stageSectionLabel":"Postavi sve na scenu","diff.actionButton.unstageFile":"Skini datoteku sa scene","diff.actionButton.unstageHunk":"Skinuti sa scene","diff.actionButton.unstageSection":"Skinuti sve sa scene","diff.actionButton.unstageSectionLabel":"Skinuti sve sa scene","diff.fileHeader.toggle":"Uključiti/isključiti razliku u datotekama","electron.onboarding.login.apikey.cancel":"Otkaži","electron.onboarding.login.apikey.continue":"Nastavi","electron.onboarding.login.apikey.label":"OpenAI API ključ","electron.onboarding.login.apikey.open":"Unesite API ključ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Otkaži prijavu","electron.onboarding.login.chatgpt.continue":"Nastavite s ChatGPT-om","electron.onboarding.login.devbox":"Poveži se na udaljeni SSH","electron.onboarding.login.error":"Prijava nije uspjela: {rawMessage}","electron.onboarding.login.snake.start":"Igraj Zmiju","electron.onboarding.login.sshConfig.cancel":"Otkaži","electron.onboarding.login.sshConfig.continue":"Nastavi","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Najbolji način kreiranja s agentima","electron.onboarding.login.title":"Dobrodošli u Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Nastavi","electron.onboarding.welcome.doubleLimits.description":"Povodom lansiranja Codex aplikacije, imate ograničenja brzine od 2× do 2. aprila.","electron.onboarding.welcome.freego.description":"Codex je uključen u vaš plan besplatno do 2. marta – hajde da počnemo graditi zajedno.","electron.onboarding.welcome.new.title.anon":"Dobrodošli!","electron.onboarding.workspace.continue":"Nastavi","electron.onboarding.workspace.empty":"Dodajte projekat za nastavak.","electron.onboarding.workspace.listLabel":"Dostupni projekti","electron.onboarding.workspace.loading":"Učitavanje projekata...","electron.onboarding.workspace.openFolder":"Dodaj projekat","electron.onboarding.workspace.selectAll":"Odaberi sve","electron.onboarding.workspace.skip":"Preskoči","electron.onboarding.workspace.skip.error":"Nije moguće kreirati novi projekat: {message}","electron.onboarding.workspace.skip.error.unknown":"Nepoznata greška","electron.onboarding.workspace.skipping":"Kreiranje novog projekta...","electron.onboarding.workspace.subtitle":"Codex će moći uređivati ​​datoteke i izvršavati naredbe u odabranim folderima.","electron.onboarding.workspace.title":"Odaberi projekat","errorPage.list.checkSettings":"Pokušajte ažurirati svoje IDE postavke","errorPage.list.configToml":"Provjerite svoje config.toml za neispravne postavke","errorPage.list.downloadExtension":"Pokušajte preuzeti drugačiju verziju ekstenzije","errorPage.list.runInWsl":"Provjerite svoje postavke za onemogućavanje rada u WSL-u ako vidite probleme s kompatibilnošću","execApprovalRequest.menu.runAlways":"Da, i ne pitaj me ponovo za ovu sesiju","execApprovalRequest.menu.runAlwaysWithAmendment":"Da, i ne traži više komande koje počinju sa {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Da, i ne traži više komande koje počinju sa","execApprovalRequest.menu.runOnce":"Da","execApprovalRequest.prompt":"Želite li pokrenuti ovu komandu?","execApprovalRequest.reject":"Ne","execFooter.exitCode":"Kod za izlazak {code}","execFooter.exitCode.unknown":"nepoznato","execFooter.success":"Uspješno","feedback.dialog.category.badResult":"Loš rezultat","feedback.dialog.category.bug":"Kvar","feedback.dialog.category.goodResult":"Dobar rezultat","feedback.dialog.category.other":"Ostalo","feedback.dialog.descriptionPlaceholder":"Opišite problem ovdje","feedback.dialog.dismiss":"Odbaci","feedback.dialog.includeLogsLabel":"Uključite aktuelne Codex dnevnike sesija","feedback.dialog.submit":"Pošalji","feedback.dialog.submitError":"Nismo mogli poslati vaš povratni odgovor. Molimo pokušajte ponovo malo kasnije.","feedback.dialog.title":"Povratni odgovor","feedback.dialog.uploadedMessage.existingIssue":"postojeći otvoreni problem","feedback.dialog.uploadedMessage.openIssue":"otvori GitHub problem","feedback.dialog.uploadedMessage.withThread":"Povratni odgovor otpremljen. Ako problem i dalje bude postojao, molimo {openIssueLink} ili pomenite ID niza u {existingIssueLink}:","feedback.dialog.uploadedTitle":"Povratni odgovor otpremljen","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Ukloni {filename}","header.back":"Nazad","header.recentChats":"Zadaci","header.recentTasks.seeAll":"Pogledaj sve ({total})","home.header.getPlus":"Preuzmite Plus","home.hero.letsBuild":"Gradimo","homePage.mainContent":"Glavni sadržaj","imageAttachment.defaultName":"slika","imageAttachment.preview.close":"Sačuvan pregled slike","imageAttachment.removeAriaLabel":"Ukloni {filename}","implementPlanRequest.option.implement":"Da, implementiraj ovaj plan","implementPlanRequest.prompt":"Implementiraj ovaj plan?","inbox.archived.deleteError":"Nije moguće obrisati arhivirano pokretanje","inbox.archived.deleteRun":"Izbrisati arhivirano pokretanje","inbox.archived.deleteSuccess":"Izbrisan arhivirani niz. Pogledajte u <settingsLink>arhiviranim nizovima</settingsLink>.","inbox.archived.inlineLabel.auto":"Ovaj niz je automatski arhiviran. <learnMoreLink>Saznajte više</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ovaj niz je arhiviran.","inbox.archived.noMessageFound":"Nema pronađenih poruka","inbox.automations.createError":"Nije moguće kreirati automatizaciju","inbox.automations.deleteConfirm.cancel":"Otkaži","inbox.automations.deleteConfirm.confirm":"Izbrisati automatizaciju","inbox.automations.deleteConfirm.description":"Ovim ćete trajno izbrisati automatizaciju i zaustaviti buduća pokretanja.","inbox.automations.deleteConfirm.title":"Izbrisati {name}?","inbox.automations.deleteError":"Nije moguće obrisati sve razgovore","inbox.automations.editTooltip":"Uredi automatizaciju","inbox.automations.inProgress":"U toku...","inbox.automations.new":"Novo","inbox.automations.newToolbar":"Nova automatizacija","inbox.automations.pauseTooltip":"Automatizacija pauze","inbox.automations.resumeTooltip":"Nastavi automatizaciju","inbox.automations.startingNow":"Počinjanje sad","inbox.automations.startsIn":"Počinje za {startTime}","inbox.automations.status.active":"Aktivno","inbox.automations.status.paused":"Pauzirano","inbox.automations.status.runs":"{count} pokretanja","inbox.automations.status.started":"Započeto {date}","inbox.automations.updateError":"Nije moguće ažurirati automatizaciju","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Sve","inbox.filter.ariaLabel":"Filtriraj stavke ulazne pošte","inbox.filter.unread":"Nepročitano","inbox.list.archived":"Arhivirano","inbox.list.inProgress":"U toku...","inbox.list.recent":"Kompletirano","inbox.list.upNext":"Zakazano","inbox.mode.automations":"Automatizacije","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nema dostavljenih opisa","inbox.openThread":"Otvori niz","inbox.rightPanel.emptySubtitle":"Automatizirajte rad postavljanjem zakazanih zadataka","inbox.rightPanel.emptySubtitle.learnMore":"Automatizirajte rad postavljanjem zakazanih tema. <link>Saznajte više</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {#  aktivna automatizacija} few {# aktivne automatizacije} other {# aktivnih automatizacija}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nema nepročitanih automatizacija","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# nepročitana automatizacija} few {# nepročitane automatizacije} other {# nepročitanih automatizacija}}","inbox.rightPanel.emptyTitle":"Nema odabranih stavki","inbox.rightPanel.noThread":"Nema niza za ovu stavku","inbox.rightPanel.quickStart.header":"Počnite šablonom","inbox.untitled":"Neimenovana stavka ulazne pošte","loadingPage.documentationLink":"dokumentaciju","loadingPage.errorDescription":"Codex je pao sa sljedećom greškom:","loadingPage.errorDescription.documentation":"Kliknite na ponovno učitavanje kako biste ponovno pokrenuli Codex ekstenziju, ili posjetite našu {documentationLink} za dodatnu pomoć.","loadingPage.errorSignal":"Neke stvari koje možete pokušati:","loadingPage.errorTitle":"Došlo je do greške","loadingPage.openConfigToml":"Otvori Config.toml","loadingPage.reload":"Učitati ponovo","localConversation.contextCompacted":"Kontekst se automatski sažima","localConversation.contextCompacting":"Automatsko sažimanje konteksta","localConversation.forkedFromConversation":"Prebačeno iz {threadTitle}","localConversation.merge.autoResolve.failed":"Neuspješno traženje automatskog rješavanja:{error}","localConversation.merge.autoResolve.sent":"Zahtjev za automatsko rješavanje poslat","localConversation.merge.autoResolveMerge.missingConversation":"Nije moguće automatsko rješavanje bez aktivnog razgovora.","localConversation.merge.autoResolveMerge.request":"Automatsko rješavanje konflikata spajanja","localConversation.modelChanged":"Promjena modela od {fromModel} na {toModel}.","localConversation.modelChanged.warning.line1":"Promjena modela usred razgovora će smanjiti performanse.","localConversation.modelChanged.warning.line2":"Kontekst se automatski sažima.","localConversation.moveThread.createBranch.label":"Kreiraj granu","localConversation.moveToLocal.disabled.loading":"Učitavanje...","localConversation.moveToLocal.modal.continue":"Nastavi","localConversation.moveToLocal.modal.destinationLabel":"Pomjeri na","localConversation.moveToLocal.modal.retry":"Pokušajte ponovo","localConversation.moveToWorktree.modal.back":"Nazad","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Grana već postoji.","localConversation.moveToWorktree.modal.branchesError":"Nije moguće učitati grane","localConversation.moveToWorktree.modal.branchesLoading":"Učitavanje grana...","localConversation.moveToWorktree.modal.branchesRetry":"Pokušajte ponovo","localConversation.moveToWorktree.modal.continue":"Nastavi","localConversation.moveToWorktree.modal.retry":"Pokušajte ponovo","localConversation.moveToWorktree.modal.trailingSlashError":"Naziv grane ne može završavati sa “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nova-grana","localConversation.personalityChanged":"Prebačeno na {personality} ličnost","localConversation.planSummary.collapse":"Skupi sažetak plana","localConversation.planSummary.collapseTooltip":"Skupi","localConversation.planSummary.download":"Preuzmi plan","localConversation.planSummary.expand":"Proširi sažetak plana","localConversation.planSummary.expandTooltip":"Proširi","localConversation.planSummary.openInNewWindow":"Otvoreno","localConversation.planSummary.openInNewWindow.tooltip":"Otvorite u novom prozoru","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plan pisanja","localConversation.planSummary.viewPlan":"Proširi plan","localConversation.remoteTaskCreated":"Kreirano {taskLink} u Codex Cloudu","localConversation.remoteTaskCreated.task":"zadatak","localConversation.scrollToBottomButton":"Povuci prema dnu","localConversation.sync.buttonLabel":"Predati lokalnom","localConversation.sync.buttonLabel.tooltip":"Prenesite promjene između ovog rasporeda rada i vaše lokalne blagajne.","localConversation.sync.modal.loading.title":"Predaja promjena…","localConversation.sync.modal.noChanges":"Nema promjena","localConversation.syncSetup.branchAriaLabel":"Naziv grane","localConversation.syncSetup.branchName":"Naziv grane","localConversation.syncSetup.branchPlaceholder.existing":"Odaberite postojeću granu","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Učitavanje grana...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Već je odjavljeno","localConversation.syncSetup.checkoutClean":"Trenutno na{branchName}","localConversation.syncSetup.checkoutDirty":"Trenutno na {branchName} uz nepotvrđene promjene","localConversation.syncSetup.checkoutError":"Neuspješna provjera grane: {message}","localConversation.syncSetup.checkoutLabel":"Odjavite sada lokalno","localConversation.syncSetup.checkoutOnLocal":"Predati lokalnom","localConversation.syncSetup.checkoutPending":"Provjera lokalnog statusa…","localConversation.syncSetup.checkoutUnavailable":"Lokalni radni prostor nije dostupan","localConversation.syncSetup.checkoutUnknown":"Lokalni radni prostor nedostupan","localConversation.syncSetup.continue":"Nastavi","localConversation.syncSetup.createBranchError":"Neuspješno postavljanje primopredaje: {message}","localConversation.syncSetup.error":"Nešto nije u redu: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nije moguće napraviti snimak radnog stabla. Molimo vas da ponovo pokušate primopredaju.","localConversation.syncSetup.mode.ariaLabel":"Odaberite način rada grane","localConversation.syncSetup.mode.existing":"Postojeća grana","localConversation.syncSetup.mode.new":"Nova grana","localConversation.syncSetup.noBranches":"Nema pronađenih grana","localConversation.syncSetup.overwriteError":"Grana je kreirana, ali nije u potpunosti predana. Predajte ju ručno prije lokalne provjere.","localConversation.syncSetup.setPrefix":"Podesi prefiks","localConversation.syncSetup.subtitle":"Testirajte i uređujte promjene rasporeda rada lokalno.<a>Saznajte više</a>","localConversation.syncSetup.success.checkedOut":"Grana je kreirana i lokalno je provjerena.","localConversation.syncSetup.success.notCheckedOut":"Grana kreirana","localConversation.syncSetup.title":"Predati lokalnoj grani","localConversation.syncWorktreeError.branchAriaLabel":"Naziv grane","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Odaberite granu kojoj želite predati promjene, a zatim pokušajte ponovo učitati promjene.","localConversation.syncWorktreeError.branchSetup.title":"Ažurirajte granu","localConversation.syncWorktreeError.branchUpdate.cta":"Ažurirajte i pokušajte ponovo","localConversation.syncWorktreeError.branchUpdate.error":"Neuspješno ažuriranje grane: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Nešto nije u redu: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Grana nije provjerena ni u jednom rasporedu rada.","localConversation.syncWorktreeV2.applyUncommitted":"Primijeni","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Morate lokalno provjeriti granu da biste primijenili nepotvrđene promjene","localConversation.syncWorktreeV2.branches.empty":"Nema pronađenih grana","localConversation.syncWorktreeV2.branches.loading":"Učitavanje grana...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Promjena grane primopredaje","localConversation.syncWorktreeV2.changeBranch.error":"Neuspješna promjena grane primopredaje: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Primjena neuspjela","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Prepisivanje rasporeda rada nije uspjelo","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Prepisivanje lokalnog nije uspjelo","localConversation.syncWorktreeV2.commandError.back":"Nazad","localConversation.syncWorktreeV2.commandError.body":"Git naredba nije uspjela prilikom primopredaje. Pregledajte izlaz i pokušajte ponovo.","localConversation.syncWorktreeV2.commandError.retry":"Pokušajte ponovo","localConversation.syncWorktreeV2.description":"Prenesite promjene između lokalnog i ovog rasporeda rada.<a>Saznajte više</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Odaberite smjer primopredaje","localConversation.syncWorktreeV2.error.generic":"Došlo je do greške prilikom primopredaje. Pokušajte ponovo.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalno","localConversation.syncWorktreeV2.noChanges":"Obračunavanje promjena","localConversation.syncWorktreeV2.noChanges.summary":"Nema promjena","localConversation.syncWorktreeV2.overwrite.local":"Prepisivanje lokalnog","localConversation.syncWorktreeV2.overwrite.worktree":"Prepisati raspored rada","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nismo mogli primijeniti promjene","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nije moguće prepisati lokalne promjene","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nije moguće prepisati promjene u radnom stablu","localConversation.syncWorktreeV2.partial.appliedLabel":"Primjenjeno","localConversation.syncWorktreeV2.partial.back":"Nazad","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Riješite konflikte i pokušajte ponovo.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikti","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","localConversation.syncWorktreeV2.partial.retry":"Pokušajte ponovo","localConversation.syncWorktreeV2.partial.skippedLabel":"Preskočeno","localConversation.syncWorktreeV2.stateFailed.generic":"Došlo je do greške prilikom preuzimanja promjena u rasporedu rada za predaju. Molimo pokušajte ponovo.","localConversation.syncWorktreeV2.stateFailed.title":"Neuspješno učitavanje promjena rasporeda rada","localConversation.syncWorktreeV2.statusError.diffUnknown":"Neuspješno učitavanje promjena rasporeda rada.","localConversation.syncWorktreeV2.statusError.retry":"Pokušajte ponovo","localConversation.syncWorktreeV2.statusError.title":"Nije moguće učitati promjene lokalne grane","localConversation.syncWorktreeV2.statusError.unknown":"Status poslovnice trenutno nije dostupan. Pokušajte ponovo.","localConversation.syncWorktreeV2.success.apply":"Uspješno primjenjene promjene","localConversation.syncWorktreeV2.success.overwrite":"Predaja uspješna","localConversation.syncWorktreeV2.title":"Predajte promjene","localConversation.syncWorktreeV2.worktreeLabel":"Raspored rada","localConversation.userInputRequest.inProgress":"Pitanje {count, plural, one {pitanje} few {pitanja} other {pitanja}}","localConversation.userInputRequest.noAnswer":"Nema datih odgovora","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Upitano","localConversation.userInputRequest.summary.count":"{count, plural, one {# pitanje} few {# pitanja} other {# pitanja}}","localConversation.workedFor":"Rađeno za {time}","localConversation.worktreeBranchSetup.action.create":"Kreiraj","localConversation.worktreeBranchSetup.branchAriaLabel":"Naziv grane","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Kreiraj novu granu","localConversation.worktreeBranchSetup.checkoutDisabled":"Ova grana je već provjerena na{location}","localConversation.worktreeBranchSetup.checkoutError":"Neuspješna provjera grane: {message}","localConversation.worktreeBranchSetup.createBranchError":"Postavljanje grane nije uspjelo: {message}","localConversation.worktreeBranchSetup.error":"Nešto nije u redu: {message}","localConversation.worktreeBranchSetup.subtitle":"Kreirajte granu za potvrđivanje promjena, slanje i kreiranje PR-a iz ovog radnog stabla. <a>Saznajte više</a>","localConversation.worktreeBranchSetup.title":"Radite ovdje","localConversationPage.addWorktreeToSidebar.tooltip":"Sačuvaj kao projekat kako biste mogli započeti nove nizove iz ovog rasporeda rada","localConversationPage.addWorktreeToSidebarError":"Neuspješno dodavanje projekta","localConversationPage.commitAndCreatePrModal.errorTitle":"Podnošenje i kreiranje PR-a neuspješno","localConversationPage.commitAndCreatePrModal.successTitle":"Podnešen i kreiran PR","localConversationPage.commitAndPushModal.errorTitle":"Podnošenje i pritiskanje neuspješno","localConversationPage.commitAndPushModal.successTitle":"Podnešene i pritisnute promjene","localConversationPage.commitCreatePr.open":"Otvori zahtjev za povlačenje","localConversationPage.commitCreatePr.successTitle":"Kreiran PR s najnovijim izmjenama","localConversationPage.createBranchButtonLabel":"Grana ovdje","localConversationPage.createPrModal.baseBranch":"Baza","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Kreiraj PR","localConversationPage.createPrModal.createDescription":"Otvori zahtjev za povlačenje za vaše najnovije izmjene.","localConversationPage.createPrModal.errorTitle":"Zahtjev za povlačenje nije uspio","localConversationPage.createPrModal.headBranch":"Zaglavlje","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Otvori PR","localConversationPage.createPrModal.successTitle":"Kreiran zahtjev za povlačenje","localConversationPage.createPrModal.title":"Kreiraj zahtjev za povlačenje","localConversationPage.createPrModal.viewDescription":"Zahtjev za povlačenje već postoji za tu granu.","localConversationPage.createPrModal.viewTitle":"Zahtjev za povlačenje spreman","localConversationPage.createPullRequestAuthGh":"Autentificirajte GitHub CLI: pokrenite `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informacije o ispostavi nedostupne","localConversationPage.createPullRequestButtonLabel":"Kreiraj PR","localConversationPage.createPullRequestButtonLabel.loading":"Kreiranje PR-a...","localConversationPage.createPullRequestDefaultBranchMissing":"Zadane informacije o ispostavi nedostupne","localConversationPage.createPullRequestError":"Neuspješno kreiranje zahtjeva za povlačenje","localConversationPage.createPullRequestExistingPullRequest":"Zahtjev za povlačenje već postoji za ovu granu","localConversationPage.createPullRequestGhStatusMissing":"Učitavanje GitHub CLI statusa...","localConversationPage.createPullRequestInstallGh":"Instaliraj GitHub CLI (gh) za kreiranje PR-ova","localConversationPage.createPullRequestNoRepo":"Nema pronađenog git repoztirija","localConversationPage.createPullRequestPushStatusMissing":"Učitavanje statusa na pritiskanje...","localConversationPage.createPullRequestSetUpstream":"Proslijedi ovu granu prije kreiranja PR-a","localConversationPage.createPullRequestSuccessToast":"Kreiran zahtjev za povlačenje","localConversationPage.createPullRequestSwitchBranch":"Provjerite granu funkcija prije kreiranja PR-a","localConversationPage.error.render":"Greška pri pokretanju lokalnog razgovora","localConversationPage.error.toast":"Razgovor nije pronađen","localConversationPage.forcePushError":"Neuspješno prisilno pritiskanje","localConversationPage.generatePullRequestMessageError":"Neuspjelo generisanje naslova i strukture zahtjeva za povlačenje","localConversationPage.generatePullRequestMessageFailed":"Neuspjelo generisanje naslova i strukture zahtjeva za povlačenje.","localConversationPage.gitActionResult.branch":"Grana","localConversationPage.gitActionResult.cancel":"Otkaži","localConversationPage.gitActionResult.close":"Zatvori","localConversationPage.gitActionResult.tryAgain":"Pokušajte ponovo","localConversationPage.gitActions":"Git radnje","localConversationPage.newChat":"Novi chat","localConversationPage.openInTarget":"Otvori u","localConversationPage.openPrimaryTarget":"Otvoreno","localConversationPage.planItemsCompleted":"{completedItems} od {totalItems, plural, one {# zadatak završen} few {# zadataka završeno} other {# zadataka završeno}} ","localConversationPage.pushAuthError":"Pritiskanje neuspješno: potrebna je autentifikacija","localConversationPage.pushBranchMissing":"Informacije o ispostavi nedostupne","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Guranje...","localConversationPage.pushError":"Neuspješno potvrđivanje promjena","localConversationPage.pushModal.branchLabel":"Grana","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Otkaži","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Pritisnite svoje najnovije zahtjeve u udaljeni repozitorij.","localConversationPage.pushModal.errorTitle":"Pritiskanje neuspješno","localConversationPage.pushModal.forcePush":"Prisilno pritiskanje","localConversationPage.pushModal.successTitle":"Pritiskanje završeno","localConversationPage.pushModal.title":"Promjene pritiskanjem","localConversationPage.pushModal.tryAgain":"Pokušajte ponovo","localConversationPage.pushNoUpstream":"Postavite uzvodno prije nego što gurnete ovu granu","localConversationPage.pushNoUpstreamError":"Pritiskanje neuspješno: nije podešen uzvodni tok","localConversationPage.pushNothingToPush":"Nema novih stavki za slanje","localConversationPage.pushRemoteChangedError":"Pritiskanje neuspješno: remote ima nove commite","localConversationPage.pushRemoteRejectedError":"Pritiskanje odbijeno od strane remote","localConversationPage.pushStatusMissing":"Učitavanje statusa na pritiskanje...","localConversationPage.pushSuccessToast":"Pritisnute promjene","localConversationPage.viewPullRequestButtonLabel":"Pogledaj PR","localConversationPage.viewPullRequestButtonLabel.loading":"Učitavanje zahtjeva povlačenja...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} few {# liste} other {# listi}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# pretraživanje} few {# pretraživanja} other {# pretraživanja}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Istraživanje","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Istraženo","localConversationTurn.exploration.accordion.header.complete.withCounts":"Istraženo {counts} ","localConversationTurnStory.showContent":"Prikaži sadržaj","localConversationTurnStory.streamContent":"Sadržaj toka","localConversationTurnStory.toggleReasoning":"Prikaži rezonovanje","localTaskRow.archiveError":"Neuspješno arhiviranje razgovora","localTaskRow.resumeError":"Neuspješno nastavljanje zadatka","mermaidDiagram.ariaLabel":"Dijagram sirene","mermaidDiagram.copySource":"Kopiraj sirenu","mermaidDiagram.originalCode":"Izvorni kod sirene","notifications.permissions.description":"Prikaži obavještenja kada su potrebna odobrenja za obavještenja","notifications.permissions.label":"Uključi dozvolu za obavijesti","notifications.turnMode.always":"Uvijek","notifications.turnMode.description":"Postavite kada vas Codex obavještava da je završen","notifications.turnMode.label":"Uključi kompletiranje obavijesti","notifications.turnMode.off":"Nikad","notifications.turnMode.unfocused":"Samo kada nije fokusirano","patchApprovalRequest.approve":"Odobri","patchApprovalRequest.menu.allowAlways":"Da, i ne pitaj me ponovo za ovu sesiju","patchApprovalRequest.menu.allowForSession":"Da, i ne pitaj me ponovo za ovu sesiju","patchApprovalRequest.menu.allowOnce":"Da","patchApprovalRequest.prompt":"Da li želite napraviti ove izmjene?","patchApprovalRequest.reject":"Ne","patchApprovalRequest.waitingForApproval":"Čekanje na odobrenje za uređivanje datoteka","pendingRequest.approvalExec.collapse":"Skupi","pendingRequest.approvalExec.expand":"Proširi","pendingRequestStory.toastAnswer":"Odgovori sada: {answer}","pendingRequestStory.toastApprovalTitle":"Odgovor na odobrenje","pendingRequestStory.toastFollowupPrompt":"Upit: {prompt}","pendingRequestStory.toastFollowupTitle":"Dodatna obavijest poslana","pendingRequestStory.toastNoAnswers":"Nema datih odgovora","pendingRequestStory.toastQuestion":"Pitanje: {question}","pendingRequestStory.toastUnknownDecision":"Nepoznato","pendingRequestStory.toastUserInputTitle":"Poslani odgovori","quickAction.request.codeReview.branches.new":"Molimo provjerite promjene na {from} u odnosu na {to}","quickAction.request.codeReview.uncommitted.new":"Molimo provjerite moje nepotvrđene promjene","reasoningItem.thinking":"Razmišljanje","reasoningItem.thought":"Misao","reasoningItem.thoughtWithElapsed":"Pomislio na {elapsed}","recentConversations.title":"Nedavni razgovori","recentTasks.worktreeInitFailedTitle":"Neuspjela inicijalizacija rasporeda rada","recentTasks.worktreeSettingUpTitle":"Postavljanje rasporeda rada","requestInputPanel.continue":"Nastavi","requestInputPanel.dismiss":"Odbaci","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Ukucaj ovdje","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ne, i recite Codexu šta da uradi drugačije","requestInputPanel.selectedBadge":"Odabrano","requestInputPanel.skip":"Preskoči","requestInputPanel.submit":"Pošalji","review.commit.ariaLabel.includeUnstaged":"Uvrsti neprimjenjeno","review.commit.buttonLabel":"Podnesi","review.commit.disabled.committing":"Podnošenje...","review.commit.disabled.loadingDiff":"Učitavanje razlike…","review.commit.disabled.missingContext":"Dodajte neki sadržaj za generisanje poruke za slanje","review.commit.disabled.noChanges":"Nema promjena za podnošenje","review.commit.disabled.noSelection":"Odaberite promjene za podnošenje","review.commit.disabled.unavailable":"Podnošenje trenutno nije dostupno","review.commit.error":"Neuspješno podnošenje izmjena","review.commit.form.changesToBeCommitted":"Promjene","review.commit.form.commitTo":"Grana","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Nastavi","review.commit.form.title":"Podnesi svoje promjene","review.commit.generate.emptyResponse":"Nije moguće generisanje poruke za slanje.","review.commit.generate.failed":"Neuspjelo generisanje poruke za slanje: {error}","review.commit.generate.missingPrompt":"Dodajte neki sadržaj za generisanje poruke za slanje.","review.commit.includeUnstaged":"Uvrsti neprimjenjeno","review.commit.loading.description":"Budite strpljivi, ovo može potrajati par trenutaka...","review.commit.loading.step.commit.done":"Nepotvrđene promjene","review.commit.loading.step.commit.pending":"Pokretanje promjena","review.commit.loading.step.createPr.done":"Kreiran zahtjev za povlačenje","review.commit.loading.step.createPr.pending":"Kreiranje zahtjeva povlačenja","review.commit.loading.step.push.done":"Pritisnuto na granu {branch}","review.commit.loading.step.push.pending":"Pritiskanje na granu {branch}","review.commit.loading.title.commit":"Pokretanje promjena","review.commit.loading.title.createPr":"Kreiranje PR-a","review.commit.loading.title.push":"Pritiskanje promjena","review.commit.messageLabel":"Podnesi poruku","review.commit.messagePlaceholder":"Ostavite prazno za automatsko generiranje poruke potvrde","review.commit.nextSteps":"Naredni koraci","review.commit.nextSteps.commit":"Podnesi","review.commit.nextSteps.commitAndCreate":"Podnesi i kreiraj PR","review.commit.nextSteps.commitAndPush":"Podnošenje i pritiskanje","review.commit.nextSteps.prRequiresGh":"Zahtijeva GitHub CLI: {command}","review.commit.rows.changes":"Promjene","review.commit.rows.commitCount":"{count, plural, one {# podnošenje} few {# podnošenja} other {# podnošenja}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# podnošenje} few {# podnošenja} other {# podnošenja}} i {stats}","review.commit.rows.fileCount":"{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","review.commit.state.error.body":"Došlo je do greške prilikom podnošenja. Provjerite svoj git status i pokušajte ponovo.","review.commit.state.error.title":"Podnošenje nije uspjelo","review.commit.state.success.title":"Promjene podnešene","review.commit.untracked.loadingStats":"Učitavanje nepraćenih razlika u statistikama…","reviewFindingAttachments.count":"{count, plural, one {# pronalazak} few {# pronalaska} other {# pronalazaka}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Uredite svoju konfiguraciju za prilagođavanje ponašanju agenta","settings.agent.configuration.configToml.docs":"Dokumenti","settings.agent.configuration.subtitle":"Ove postavke se odnose na svugdje gdje se Codex koristi","settings.automations.banner.danger":"Automatizacije se izvršavaju s vašim zadanim postavkama sandboxa, koje su trenutno postavljene na Puni pristup. Pokretanje automatizacija u pozadini s Punim pristupom nosi povećan rizik, jer Codex može mijenjati datoteke, pokretati naredbe i pristupati mreži bez pitanja. Razmislite o ažuriranju postavki sandboxa na pisanje u radni prostor i korištenju <rulesDocsLink>pravila</rulesDocsLink> za selektivno definisanje koje naredbe agent može pokretati s punim pristupom.","settings.automations.banner.defaultHowTo.default":"Automatizacije se izvršavaju s vašim zadanim postavkama sandboxa. Pozivi alata neće uspjeti ako zahtijevaju izmjenu datoteka izvan radnog prostora, pristup mreži ili rad s aplikacijama na vašem računaru. Možete selektivno dopustiti naredbe za pokretanje izvan sandboxa pomoću <rulesDocsLink>pravila</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizacije se izvršavaju s vašim zadanim postavkama sandboxa, koje su postavljene na samo čitanje. Pozivi alata neće uspjeti ako zahtijevaju izmjenu datoteka, pristup mreži ili rad s aplikacijama na vašem računaru. Razmislite o ažuriranju postavki sandboxa na pisanje u radni prostor.","settings.automations.cancel":"Otkaži","settings.automations.create":"Kreiraj","settings.automations.cwdEmpty":"Nema dostupnih projektnih foldera","settings.automations.cwdLabel":"Projekti","settings.automations.cwdPlaceholder":"Odaberite folder","settings.automations.cwdSubtitle":"Ako želite da se automatizacija pokrene na određenoj grani, možete to navesti u svom upitu.","settings.automations.delete":"Izbriši","settings.automations.dialog.editTitle":"Uredi automatizaciju","settings.automations.dialog.newTitle":"Nova automatizacija","settings.automations.dialog.subtitle":"Automatizujte ponavljajuće zadatke u pozadini. Codex dodaje nalaze u pristiglu poštu ili automatski arhivira zadatak ako nema ništa za prijaviti. <learnMoreLink>Saznajte više</learnMoreLink>","settings.automations.dialog.title":"Kreiraj automatizaciju","settings.automations.executionCopy.git":"Automatizacije se izvršavaju u pozadini na namjenskim rasporedima rada.","settings.automations.executionCopy.nonGit":"Automatizacije u projektima koji nisu pod kontrolom verzija pokreću se direktno u direktoriju projekta. Razmislite o korištenju Gita kako biste omogućili pokretanje na pozadinskim rasporedima rada.","settings.automations.executionEnvironment.local":"Lokalno","settings.automations.executionEnvironment.worktree":"Raspored rada","settings.automations.loading":"Učitavanje...","settings.automations.nameLabel":"Naziv","settings.automations.namePlaceholder":"Provjeri sentry probleme","settings.automations.pause":"Pauza","settings.automations.promptLabel":"Upit","settings.automations.promptPlaceholder":"potraži kvarove u $Sentry","settings.automations.resume":"Ponovo pokreni","settings.automations.rruleSummaryFallback":"Prilagođeni raspored","settings.automations.runNow":"Test","settings.automations.save":"Sačuvaj","settings.automations.scheduleBadge.dayCount":"{count} dana","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"Radnim danima","settings.automations.scheduleBadge.weekends":"Vikendom","settings.automations.scheduleHeader":"Raspored","settings.automations.scheduleHours":"sati","settings.automations.scheduleLabel":"Pokreni svakih","settings.automations.scheduleMode.daily":"Dnevno","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Vrsta rasporeda","settings.automations.scheduleSummary.daily":"Svakodnevno u {time}","settings.automations.scheduleSummary.interval":"Svakih {count}h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dan} few {# dana} other {# dana}}","settings.automations.scheduleSummary.intervalDays":"{interval} u {days}","settings.automations.scheduleSummary.intervalHourly":"Po satu","settings.automations.scheduleSummary.singleDay":"{day} u {time}","settings.automations.scheduleSummary.weekdays":"Radnim danima u {time}","settings.automations.scheduleSummary.weekdaysLabel":"radnim danima","settings.automations.scheduleSummary.weekends":"Vikendom u {time}","settings.automations.scheduleSummary.weekendsLabel":"vikendom","settings.automations.scheduleSummary.weekly":"{days} u {time}","settings.automations.scheduleWeekdays":"Uključeno","settings.automations.weekdayState.excluded":"Isključeno","settings.automations.weekdayState.included":"Uključeno","settings.conversationDetail.steps":"Koraci","settings.conversationDetail.steps.description":"Sakrij naredbe i izlaze","settings.conversationDetail.stepsWithCommands":"Koraci s kodiranim naredbama","settings.conversationDetail.stepsWithCommands.description":"Prikaži komande, sakrij izlaz","settings.conversationDetail.stepsWithOutput":"Koraci s kodnim izlazom","settings.conversationDetail.stepsWithOutput.description":"Prikaži komande i otvori izlaz","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nema arhiviranih razgovora.","settings.dataControls.archivedChats.error":"Nije moguće učitati arhivirane razgovore.","settings.dataControls.archivedChats.loading":"Učitavanje arhiviranih chatova...","settings.dataControls.archivedChats.unarchive":"Dearhiviraj","settings.dataControls.archivedChats.unarchiveError":"Neuspješno dearhiviranje chata","settings.dataControls.archivedChats.unarchiveSuccess":"Nearhiviran niz. <viewNowLink>Pogledaj sada</viewNowLink>","settings.dataControls.archivedChats.untitled":"Neimenovani chat","settings.editRow.headerPlaceholder":"Ključ","settings.editRow.removeEntry":"Uklonite stavku","settings.editRow.valuePlaceholder":"Vrijednost","settings.general.appearance":"Izgled","settings.general.appearance.codeFont":"Kod fonta","settings.general.appearance.codeFont.description":"Prilagodite font koji se koristi za kôd u svim chatovima i različitim aplikacijama","settings.general.appearance.codeFontFamily":"Kôd font porodice","settings.general.appearance.codeFontSize":"Kod veličine fonta","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Neka prozori koriste jednobojnu pozadinu umjesto sistemske prozirnosti","settings.general.appearance.opaqueWindows.label":"Koristite neprozirnu pozadinu prozora","settings.general.appearance.sansFontFamily":"Porodica Sans fonta","settings.general.appearance.sansFontFamily.description":"Prilagodite font koji se koristi za Codex UI","settings.general.appearance.sansFontSize":"Veličina fonta Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Prikaži efekte proslave preko cijelog prozora dok GPT-5.3-Codex-Spark izvršava prvi krug","settings.general.appearance.sparkCelebrationEffects.label":"Efekti proslave Spark","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Tamno","settings.general.appearance.theme.description":"Koristite svijetlo, tamno ili boje koje odgovaraju vašem sistemu","settings.general.appearance.theme.light":"Svijetla","settings.general.appearance.theme.system":"Sistem","settings.general.appearance.usePointerCursors.description":"Promijeni kursor u pokazivač prilikom zadržavanja pokazivača iznad interaktivnih elemenata","settings.general.appearance.usePointerCursors.label":"Koristite pokazivače kursora","settings.general.enterBehavior.description":"Kada je omogućeno, višeredni upiti zahtijevaju {modifierSymbol} + unesite za slanje.","settings.general.enterBehavior.label":"Zahtijeva {modifierSymbol} + pritisnite enter za slanje dugih upita","settings.general.experimentalFeatures":"Eksperimentalne funkcije (Beta)","settings.general.experimentalFeatures.empty":"Nema dostupnih beta eksperimentalnih funkcija.","settings.general.experimentalFeatures.loading":"Učitavanje eksperimentalnih funkcija…","settings.general.experimentalFeatures.restartNote":"Ponovo pokrenite Codex da biste primijenili eksperimentalne promjene funkcija","settings.general.experimentalFeatures.toggle":"Uključiti/isključiti {featureName}","settings.general.followUpQueueMode.description":"Praćenje čekanja dok Codex radi ili prekid trenutnog rada","settings.general.followUpQueueMode.interrupt":"Upravljaj","settings.general.followUpQueueMode.label":"Ponašanje praćenja","settings.general.followUpQueueMode.queue":"Na čekanju","settings.general.notifications":"Obavještenja","settings.general.power.preventSleepWhileRunning.description":"Držite računar aktivnim dok Codex pokreće niz.","settings.general.power.preventSleepWhileRunning.label":"Spriječite računar od standby načina rada prilikom pokretanja","settings.git.branchPrefix.ariaLabel":"Prefiks grane","settings.git.branchPrefix.description":"Prefiks korišten prilikom kreiranja novih grana u Codexu","settings.git.branchPrefix.label":"Prefiks grane","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Nije uspjelo spremanje prefiksa grane","settings.git.branchPrefix.save.success":"Sačuvan prefiks grane","settings.git.commitInstructions.ariaLabel":"Uputstva za slanje","settings.git.commitInstructions.description":"Dodato za generisanje upita za poruke za slanje","settings.git.commitInstructions.label":"Uputstva za slanje","settings.git.commitInstructions.placeholder":"Dodajte upute za poruke za slanje...","settings.git.commitInstructions.save":"Sačuvaj","settings.git.commitInstructions.save.error":"Neuspješno spremanje uputstva za slanje","settings.git.commitInstructions.save.success":"Uputstva za slanje sačuvane","settings.git.forcePush.ariaLabel":"Uvijek prisilno gurajte","settings.git.forcePush.description":"Koristite --force-with-lease prilikom slanja iz Codexa","settings.git.forcePush.label":"Uvijek prisilno gurajte","settings.git.forcePush.save.disabled":"Uvijek prisilno guranje onemogućeno","settings.git.forcePush.save.enabled":"Uvijek prisilno guranje omogućeno","settings.git.forcePush.save.error":"Nije uspjelo spremanje postavke prisilnog guranja","settings.git.prInstructions.ariaLabel":"Uputstva za zahtjev za povlačenje","settings.git.prInstructions.description":"Dodato strukturi zahtjeva za povlačenje koji su kreirani u Codexu","settings.git.prInstructions.label":"Uputstva za zahtjev za povlačenje","settings.git.prInstructions.placeholder":"Dodajte upute za zahtjev za povlačenje...","settings.git.prInstructions.save":"Sačuvaj","settings.git.prInstructions.save.error":"Neuspješno spremanje uputstva za zahtjev za povlačenje","settings.git.prInstructions.save.success":"Uputstva za zahtjev za povlačenje sačuvana","settings.ide.defaultOpenTarget.description":"Tamo gdje se datoteke i folderi otvaraju zadano","settings.ide.defaultOpenTarget.label":"Zadana destinacija za otvaranje","settings.ide.defaultOpenTarget.placeholder":"Nema pronađenih ciljeva","settings.ide.language.auto":"Automatsko prepoznavanje","settings.ide.language.autoOption":"Automatsko prepoznavanje","settings.ide.language.description":"Jezik za UI aplikacije","settings.ide.language.label":"Jezik","settings.ide.language.search":"Pretražuj jezike","settings.layout.actionButton":"Pokreni ponovo produženje","settings.layout.actionTitle":"Postavke uz radnju","settings.layout.fullWidthTitle":"Postavke (puni obim)","settings.layout.title":"Postavke","settings.localEnvironments.actions.add":"Dodaj radnje","settings.localEnvironments.actions.add.description":"Kreirajte novu komandu koja će se pokretati iz alatne trake.","settings.localEnvironments.actions.add.save":"Sačuvaj","settings.localEnvironments.actions.empty":"Dodaj radnju za pokretanje komandi s lokalne trake alata.","settings.localEnvironments.actions.icon.debug":"Otkloni greške","settings.localEnvironments.actions.icon.run":"Pokreni","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Alat","settings.localEnvironments.actions.item.button.delete":"Izbriši","settings.localEnvironments.actions.item.command":"Skripta radnje","settings.localEnvironments.actions.item.name":"Naziv","settings.localEnvironments.actions.item.platforms":"Platforme","settings.localEnvironments.actions.item.platforms.help":"Pokrenite samo na određenom operativnom sistemu.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Odabir platforme","settings.localEnvironments.actions.item.platforms.specific":"Određena platforma","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Izbriši","settings.localEnvironments.actions.title":"Radnje","settings.localEnvironments.breadcrumb.back":"Nazad","settings.localEnvironments.breadcrumb.edit":"uredi","settings.localEnvironments.breadcrumb.root":"Okruženja","settings.localEnvironments.environment.actions.description":"Ove radnje mogu pokretati bilo koju komandu i biće prikazane u zaglavlju.","settings.localEnvironments.environment.actionsLabel":"Radnje","settings.localEnvironments.environment.create":"Kreiraj lokalno okruženje","settings.localEnvironments.environment.defaultName":"lokalno","settings.localEnvironments.environment.edit":"Uredi lokalno okruženje","settings.localEnvironments.environment.empty":"Za ovaj projekat nije još podešeno lokalno okruženje.","settings.localEnvironments.environment.name":"Naziv","settings.localEnvironments.environment.setup":"Skripta podešavanja","settings.localEnvironments.environment.setup.description":"Ova skripta će se pokretati na kreiranju rasporeda rada.","settings.localEnvironments.environment.setup.hint":"Radi u korijenu projekta.","settings.localEnvironments.environment.setup.platformOverrides":"Nadjačavanja platforme","settings.localEnvironments.environment.setup.platformOverrides.add":"Dodaj {platform} skriptu podešavanja","settings.localEnvironments.environment.setup.platformOverrides.description":"Nadjačavanje predodređene skripte za određene operativne sisteme.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Ukloni","settings.localEnvironments.environment.setup.script":"Skripta","settings.localEnvironments.environment.title":"Detalji okruženja","settings.localEnvironments.file.missing":"Sačuvajte za kreiranje ove datoteke po prvi put.","settings.localEnvironments.file.parseError":"Nemoguće raščlaniti postojeću datoteku. Spremanje će izbrisati stara verzija. ({error})","settings.localEnvironments.file.path":"Datoteka:{path}","settings.localEnvironments.file.readError":"Neuspješno učitavanje podataka o lokalnom okruženju. ({error})","settings.localEnvironments.file.title":"Datoteka lokalnog okruženja","settings.localEnvironments.loading.body":"Preuzimanje konfiguracije vašeg projekta.","settings.localEnvironments.loading.title":"Učitavanje lokalnih okruženja","settings.localEnvironments.preview.devOnly":"(samo za programere)","settings.localEnvironments.preview.save":"Sačuvaj","settings.localEnvironments.preview.saveError":"Neuspješno spremanje datoteke. ({error})","settings.localEnvironments.preview.title":"Pregled","settings.localEnvironments.save.disabled.name":"Dodajte naziv okruženja za spremanje.","settings.localEnvironments.save.disabled.noChanges":"Nema promjena za spremiti.","settings.localEnvironments.save.disabled.saving":"Spremanje...","settings.localEnvironments.save.success":"Sačuvano lokalno okruženje","settings.localEnvironments.unavailable.body":"Nismo mogli učitati podešavanja lokalnog okruženja za ovaj projekat.","settings.localEnvironments.unavailable.title":"Nedostupna lokalna okruženja","settings.localEnvironments.workspace.add":"Dodaj projekat","settings.localEnvironments.workspace.title":"Projekat","settings.localEnvironments.workspaceSelect.addLabel":"Dodaj okruženje","settings.localEnvironments.workspaceSelect.description":"Lokalno okruženje kaže Codexu kako podesiti raspored rada za projekat. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Još nema projekata. Dodajte ga kako biste podesili lokalna okruženja.","settings.localEnvironments.workspaceSelect.errorLabel":"Potrebna provjera okruženja","settings.localEnvironments.workspaceSelect.learnMore":"Saznajte više","settings.localEnvironments.workspaceSelect.listLabel":"Dostupni projekti","settings.localEnvironments.workspaceSelect.loading":"Učitavanje projekata.","settings.localEnvironments.workspaceSelect.loadingLabel":"Učitavanje okruženja","settings.localEnvironments.workspaceSelect.title":"Odaberi projekat","settings.localEnvironments.workspaceSelect.viewAction":"Pogledaj","settings.mcp.addServer":"Dodaj server","settings.mcp.app.configure":"Podesi","settings.mcp.app.connect":"Poveži","settings.mcp.apps.refresh":"Osvježi","settings.mcp.detail.addArgument":"Dodaj argument","settings.mcp.detail.addEnvVar":"Dodaj varijabilno okruženje","settings.mcp.detail.addEnvVarPassthrough":"Dodaj varijablu","settings.mcp.detail.args":"Argumenti","settings.mcp.detail.back":"Nazad","settings.mcp.detail.command":"Komanda za pokretanje","settings.mcp.detail.cwd":"Radni direktorij","settings.mcp.detail.docs":"Otvori MCP dokumentaciju","settings.mcp.detail.docs.link":"Dokumenti","settings.mcp.detail.envVarPassthrough":"Propusnost varijabli okruženja","settings.mcp.detail.envVars":"Varijable okruženja","settings.mcp.detail.http.addEnvHeader":"Dodaj varijablu","settings.mcp.detail.http.addHeader":"Dodaj zaglavlje","settings.mcp.detail.http.bearerToken":"Token nosilac varijabla okruženja","settings.mcp.detail.http.envHeaders":"Zaglavlja iz varijabli okruženja","settings.mcp.detail.http.headers":"Zaglavlja","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Naziv","settings.mcp.detail.save":"Sačuvaj","settings.mcp.detail.switchTransportNotice":"Ako želite zamijenti MCP vrstu servera, molimo da prvo deinstalirate.","settings.mcp.detail.titleExisting":"Ažuriraj {name} MCP","settings.mcp.detail.titleNew":"Poveži se na prilagođeni MCP","settings.mcp.detail.transport.http":"HTTP koji se može strimovati","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Deinstaliraj","settings.mcp.empty":"Nema povezanih prilagođenih MCP servera","settings.mcp.myServers":"Prilagođeni serveri","settings.mcp.partnerServer.description.figma":"Generirajte bolji kod uključivanjem punog Figma konteksta","settings.mcp.partnerServer.description.github":"Integrirajte se s GitHub API-jima za automatizaciju radnih procesa i izdvajanje podataka","settings.mcp.partnerServer.description.linear":"Integrirajte se s Linearovim praćenjem problema i upravljanjem projektima","settings.mcp.partnerServer.description.notion":"Čitajte dokumente, ažurirajte stranice, upravljajte zadacima","settings.mcp.partnerServer.description.playwright":"Integrirajte automatizaciju pretraživača za implementaciju dizajna i testiranje UI.","settings.mcp.partnerServer.install":"Instaliraj","settings.mcp.partnerServer.installAndAuthenticate":"Instaliraj i autentificiraj","settings.mcp.partnerServer.logoAlt":"{label} logotip","settings.mcp.partnerServer.manage":"Upravljaj","settings.mcp.partnerServer.vendor":"Od strane {vendor}","settings.mcp.recommendedServers":"Preporučeni serveri","settings.mcp.restartApp":"Započni ponovo","settings.mcp.restartExtension":"Pokreni ponovo produženje","settings.mcp.server.enable":"Omogući","settings.mcp.server.login":"Izvršite autentifikaciju","settings.mcp.server.settings":"Postavke","settings.multiselect.createOption":'Kreiraj "{value}"',"settings.multiselect.removeOption":"Ukloni","settings.nav.account":"Račun","settings.nav.agent":"Konfiguracija","settings.nav.ariaLabel":"Postavke","settings.nav.back":"Nazad na aplikaciju","settings.nav.data-controls":"Arhivirani nizovi","settings.nav.environments":"Cloud okruženja","settings.nav.externalTooltip":"[alpha] Otvara se u pretraživaču","settings.nav.general-settings":"Opće","settings.nav.git-settings":"Git","settings.nav.local-environments":"Okruženja","settings.nav.mcp-settings":"MCP serveri","settings.nav.notImplemented":"[alpha] Nije dostupno u Alphi","settings.nav.personalization":"Personalizacija","settings.nav.skills-settings":"Vještine","settings.nav.usage-analytics":"Upotreba i analitika","settings.nav.worktrees":"Rasporedi rada","settings.openSourceLicenses.back":"Nazad","settings.openSourceLicenses.loading":"Učitavanje...","settings.openSourceLicenses.missing":"Nisu pronađene nikakve obavijesti trećih strana.","settings.openSourceLicenses.notSupported":"Nije dostupno na ovom domaćinu.","settings.openSourceLicenses.rowDescription":"Obavještenja trećih strana za paketne zavisnosti","settings.openSourceLicenses.rowLabel":"Licence otvorenog koda","settings.openSourceLicenses.subtitle":"Obavještenja trećih strana za zavisnosti uključene u ovu aplikaciju","settings.openSourceLicenses.title":"Licence otvorenog koda","settings.openSourceLicenses.view":"Pogledaj","settings.personalization.agents.description":"Uredite uputstva koja prilagođavaju Codex vama. {learnMore}","settings.personalization.agents.learnMore":"Saznajte više","settings.personalization.agents.loadError":"Nije moguće učitati agente.md.","settings.personalization.agents.loading":"Učitavanje agenata.md...","settings.personalization.agents.placeholder":"Dodaj prilagođena uputstva...","settings.personalization.agents.retry":"Pokušajte ponovo","settings.personalization.agents.save":"Sačuvaj","settings.personalization.agents.save.error":"Nemoguće sačuvati agente.md","settings.personalization.agents.save.success":"Sačuvani agenti.md","settings.personalization.agents.title":"Prilagođena uputstva","settings.personalization.personality.description":"Odaberite zadani ton za odgovore Codexa","settings.personalization.personality.label":"Ličnost","settings.sample.contentBody":"Koristite ovaj raspored za pripremu vaših panela postavki uz istovjetan razmak","settings.sample.contentTitle":"Uzorak bloka sadržaja","settings.section.account":"Račun","settings.section.agent":"Konfiguracija","settings.section.data-controls":"Arhivirani nizovi","settings.section.environments":"Cloud okruženja","settings.section.external":"Otvara se u vašem pretraživaču tokom Alphe","settings.section.general-settings":"Opće","settings.section.git-settings":"Git","settings.section.local-environments":"Okruženja","settings.section.mcp-settings":"MCP serveri","settings.section.mcp-settings.docs":"Dokumenti","settings.section.mcp-settings.subtitle":"Povežite vanjske alate i izvore podataka.","settings.section.personalization":"Personalizacija","settings.section.skills-settings":"Vještine","settings.section.unavailable":"Još nije dostupno u Alphi","settings.section.usage-analytics":"Upotreba i analitika","settings.section.worktrees":"Rasporedi rada","settings.threadDetail.description":"Odaberite koliko izlaza komandi se prikazuje u nizovima","settings.threadDetail.label":"Detalji o nizu","settings.worktrees.conversation.untitled":"Razgovor bez naslova","settings.worktrees.delete.error":"Neuspješno brisanje rasporeda rada","settings.worktrees.empty.body":"Rasporedi rada kreirani u Codexu će se pojaviti ovdje.","settings.worktrees.empty.title":"Još nema rasporeda rada","settings.worktrees.error.body":"Došlo je do problema prilikom učitavanja rasporeda rada.","settings.worktrees.error.retry":"Pokušajte ponovo","settings.worktrees.error.title":"Nije moguće učitati rasporede rada","settings.worktrees.loading.body":"Preuzimanje detalja rasporeda rada.","settings.worktrees.loading.title":"Učitavanje rasporeda rada","settings.worktrees.repository.loading":"Učitavanje metapodataka repozitorija...","settings.worktrees.repository.unknown":"Nepoznat repozitorij","settings.worktrees.row.conversations":"Razgovori","settings.worktrees.row.conversations.empty":"Nema razgovora povezanih na ovaj raspored rada.","settings.worktrees.row.conversations.loading":"Učitavanje razgovora...","settings.worktrees.row.delete":"Izbriši","settings.worktrees.row.title":"Raspored rada","sidebarElectron.addWorkspaceRoot":"Dodaj novi projekat","sidebarElectron.archiveThread":"Arhivski niz","sidebarElectron.archiveThreadError":"Neuspješno arhiviranje niza","sidebarElectron.collapseFolder":"Skupi folder","sidebarElectron.createStableWorktree.dialog.cancel":"Otkaži","sidebarElectron.createStableWorktree.dialog.create":"Kreiraj","sidebarElectron.debugNavLink":"Otkloni greške","sidebarElectron.editWorkspaceRootOptionName":"Uredi naziv","sidebarElectron.expandFolder":"Proširi folder","sidebarElectron.groupByMenu.recency":"Hronološka lista","sidebarElectron.groupByMenu.title":"Organizuj","sidebarElectron.groupByMenu.workspace":"Po projektu","sidebarElectron.inboxRouteNavLink":"Automatizacije","sidebarElectron.markThreadUnread":"Označi kao nepročitano","sidebarElectron.missingWorkspaceRoot":"Ovaj folder projekta je izbrisan ili premješten","sidebarElectron.newThread":"Novi niz","sidebarElectron.newThreadInGroup":"Započni novi niz u {folder}","sidebarElectron.noRecentThreads":"Nema nedavnih nizova","sidebarElectron.noTasks":"Nema nizova","sidebarElectron.noTasks.start":"Dodaj novi projekat","sidebarElectron.noTasksWithFilter":"Nema nizova koji odgovaraju filterima","sidebarElectron.pinnedThreads":"Prikačeni nizovi","sidebarElectron.recentNavLink":"Nizovi","sidebarElectron.recentThreads":"Nedavni nizovi","sidebarElectron.removeWorkspaceRootOption":"Ukloni","sidebarElectron.renameThread":"Promijeni naziv niza","sidebarElectron.renameThreadDialogAriaLabel":"Naziv niza","sidebarElectron.renameThreadDialogCancel":"Otkaži","sidebarElectron.renameThreadDialogPlaceholder":"Dodaj naziv...","sidebarElectron.renameThreadDialogSave":"Sačuvaj","sidebarElectron.renameThreadDialogSubtitle":"Neka bude kratak i prepoznatljiv.","sidebarElectron.renameThreadDialogTitle":"Promijeni naziv niza","sidebarElectron.renameThreadError":"Neuspješna promjena naziva niza.","sidebarElectron.renameWorkspaceRootOptionLabel":"Naziv koji se prikazuje","sidebarElectron.showLess":"Prikaži manje","sidebarElectron.showMenu.all":"Svi nizovi","sidebarElectron.showMenu.relevant":"Relevantni","sidebarElectron.showMenu.relevantHint":"Prikaži samo nedavne teme za trenutnu granu, radna stabla ili druge teme koje zahtijevaju vašu pažnju","sidebarElectron.showMenu.title":"Prikaži","sidebarElectron.showMenu.tooltip":"Filtriraj, sortiraj i organizuj nizove","sidebarElectron.showMenu.trigger":"Filtriraj nizove u bočnim trakama","sidebarElectron.showMore":"Prikaži više","sidebarElectron.skillsRouteNavLink":"Vještine","sidebarElectron.sortMenu.created":"Kreirano","sidebarElectron.sortMenu.title":"Sortiraj po","sidebarElectron.sortMenu.updated":"Ažurirano","sidebarElectron.taskNavigation":"Folderi automatizacije","sidebarElectron.tasksInFolder":"Automatizacije u {folder}","sidebarElectron.workspaceOptions":"Radnje projekta za {folder}","sidebarElectron.worktreeGroupTooltip":"Ovo je git raspored rada","skills.appsPage.createSkill":"Nova vještina","skills.appsPage.empty.skills":"Nema pronađenih vještina","skills.appsPage.search.skills":"Vještine pretraživanja","skills.appsPage.search.skills.label":"Vještine pretraživanja","skills.appsPage.section.installedApps":"Instalirano","skills.appsPage.section.skills":"Vještine","skills.appsPage.subheading":"Dajte Codexu supermoći.<link>Saznajte više</link>","skills.appsPage.tab.recommended":"Preporučeno","skills.appsPage.tab.skills":"Vještine","skills.card.contentsError":"Nemoguće učitati sadržaj vještine.","skills.card.disable":"Onemogući","skills.card.disableSuccess":"{skillName} vještina onemogućeno","skills.card.disabledBadge":"Onemogućeno","skills.card.enable":"Omogući","skills.card.enableSuccess":"{skillName} vještina omogućeno","skills.card.loadingContents":"Učitavanje sadržaja vještine...","skills.card.more":"Više radnji","skills.card.open":"Otvoreno","skills.card.removeFailed":"Deinstalacija vještine nije uspjela","skills.card.removeSuccess":"{skillName} vještina deinstalirano","skills.card.toggleEnabledError":"Neuspješno ažuriranje vještine","skills.card.try":"Pokušaj","skills.card.trySkill":"Isprobaj vještinu","skills.card.uninstall":"Deinstaliraj","skills.hero.dotLabel":"Idite na slajd {index}","skills.hero.next":"Sljedeća funkcija","skills.hero.trySkill":"Isprobaj vještinu","skills.page.createSkill":"Nova vještina","skills.page.empty":"Nema pronađenih vještina","skills.page.filteredEmpty":"Nijedna vještina ne odgovara vašim filterima","skills.page.filteredEmptyDescription":"Probajte prilagođavanje vašem pretraživanju ili filterima obima","skills.page.heading":"Vještine","skills.page.loading":"Učitavanje vještina...","skills.page.refreshSkills":"Osvježi","skills.page.refreshSkillsToUseNew":"Osvježi da koristiš nove vještine","skills.page.search":"Vještine pretraživanja","skills.page.search.label":"Vještine pretraživanja","skills.page.subheading":"Dajte Codexu supermoći.<link>Saznajte više</link>","skills.preview.copyPrompt":"Upit za kopiranje","skills.preview.examplePrompt":"Primjer upita","skills.recommended.error":"Nemoguće učitati preporučene vještine","skills.recommended.install":"Instaliraj","skills.recommended.installSkill":"Instaliraj vještinu","skills.recommended.installSuccess":"{skillName} vještina instalirano","skills.recommended.installed":"Instalirano","skills.scope.admin":"Administrator","skills.scope.adminInstalled":"Administrator instaliran","skills.scope.builtIn":"Sistem","skills.scope.personal":"Lični","skills.scope.repo":"Repozitorij","skills.scope.system":"Sistem","skills.scope.team":"Tim","skills.scope.user":"Korisnik","skills.section.installed":"Instalirano","skills.section.recommended":"Preporučeno","story.slidingToggle.existing":"Postojeća","story.slidingToggle.fromLocal":"S lokalnog","story.slidingToggle.new":"Novo","story.slidingToggle.toLocal":"Na lokalno","terminal.close":"Zatvori terminal","terminal.title":"Terminal","thinkingShimmer.default":"Razmišljanje","threadEnvIcon.cloudTooltip":"Ovaj razgovor se vodi u Codex Cloudu.","threadEnvIcon.localTooltip":"Ovaj razgovor se vodi lokalno.","threadEnvIcon.worktreeTooltip":"Ovaj razgovor se vodi u lokalnom git radnom stablu.","threadHeader.archiveConfirmCancel":"Otkaži","threadHeader.archiveConfirmConfirm":"Arhiviraj","threadHeader.copySessionId":"Kopiraj ID sesije","threadHeader.copyWorkingDirectory":"Kopiraj radni direktorij","threadHeader.forkIntoLocal":"Prebaci u lokalni","threadHeader.forkIntoWorktree":"Prebaci u novi raspore rada","threadHeader.forkPendingWorktreePrompt":"Prebaci ovaj razgovor u novi raspored rada.","threadHeader.forkPendingWorktreeTitle":"Prebačeni razgovor","threadHeader.forkThreadError":"Neuspješno prebacivanje niza","threadHeader.forkThreadRequiresGitRepo":"Prebacivanje u novi raspored rada zahtijeva git repozitorij","threadHeader.moreActions":"Radnje na nizovima","threadPage.newThread":"Novi niz","threadPage.runAction.changeEnvironment":"Promijeni okruženje","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} radnje","threadPage.runAction.environmentSelector.label":"Izaberi okruženje","threadPage.runAction.label":"Pokreni","threadPage.runAction.missing.label":"Podesite radnju za pokretanje","threadPage.runAction.setup.commandLabel":"Komanda za pokretanje","threadPage.runAction.setup.description":"Recite Codexu kako da instalira zavisnosti i pokrene vašu aplikaciju.","threadPage.runAction.setup.editMore":"Postavke okruženja","threadPage.runAction.setup.placeholder":"npr: npm install npm run","threadPage.runAction.setup.submit":"Sačuvaj i pokreni","threadPage.runAction.setup.title":"Pokreni","threadPage.runAction.tooltip.withEnvironment":"{environmentName} radnje","threadPage.toggleDiffPanel":"Uključiti/isključiti panel razlika","threadPage.toggleTerminal":"Uključi/isključi terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Otvori folder","toolSummaryForCmd.exploredFiles":"<verb>Navedene</verb> datoteke","toolSummaryForCmd.exploredFilesInPath":"<verb>Navedene</verb> datoteke u {path}","toolSummaryForCmd.exploringFiles":"<verb>Navođenje</verb> datoteka","toolSummaryForCmd.exploringFilesInPath":"<verb>Navođenje</verb> datoteka u {path}","toolSummaryForCmd.ranGenericCommand":"<status>Pokrenuta komanda</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Pokrenuto</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Čitaj</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Pokretanje komande</status>{timer}","toolSummaryForCmd.runningTimer":"za {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Pretraživano</verb> za {query}","toolSummaryForCmd.searchedForFiles":"<verb>Pretraživane</verb> datoteke","toolSummaryForCmd.searchedForInPath":"<verb>Pretraživane</verb> {query} u {path}","toolSummaryForCmd.searchingFor":"<verb>Pretraživanje</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Pretraživanje</verb>datoteka","toolSummaryForCmd.searchingForInPath":"<verb>Pretraživanje</verb> {query} u {path}","traceRecording.startDetails.cancel":"Otkaži","wham.diff.addComment":"Dodajte komentar","wham.diff.binaryFile":"Binarna datoteka se ne prikazuje","wham.diff.noContent":"Nema sadržaja","wham.fileTag.deleted":"Obrisano","wham.fileTag.new":"Novo","wham.formattedRelativeDateTime.compactDaysAgo":"{value} dana","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mjeseci","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} sedmica","wham.formattedRelativeDateTime.compactYearsAgo":"{value} godina","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Rad na vašem zadatku","wham.whamProposedTask.title":"Predloženi zadatak","wham.whamProposedTask.useSuggestion":"Koristi prijedlog","workspaceRootDialog.addError":"Neuspješno dodavanje projekta","workspaceRootDialog.cancel":"Otkaži","workspaceRootDialog.confirmAdd":"Dodaj projekat","workspaceRootDialog.confirmPick":"Koristi projekat","workspaceRootDialog.description":"Unesite putanju na {host} za korištenje kao projekat.","workspaceRootDialog.pathLabel":"Putanja projekta","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Dodaj putanju projekta","workspaceRootDialog.title.pick":"Odaberi putanju projekta","worktreeInitV2.cancel":"Otkaži","worktreeInitV2.notification.failedTitle":"Podešavanje rasporeda rada neuspjelo","worktreeInitV2.output.empty":"Čekanje izlaza...","worktreeInitV2.status.error":"Podešavanje rasporeda rada neuspjelo.","worktreeInitV2.status.running":"Kreiranje rasporeda rada i pokretanje podešavanja.","worktreeInitV2.status.runningFork":"Kreiranje rasporeda rada za prebacivanje ovog razgovora.","worktreeInitV2.status.success":"Raspored rada spreman.","worktreeInitV2.title":"Kreiranje rasporeda rada","worktreeInitV2.workLocallyInstead":"Radite lokalno umjesto toga","worktreeRestoreBanner.body":"Raspored rada ovog niza je uklonjen radi uštede prostora na disku.","worktreeRestoreBanner.missing.body":"Radni direktorij ovog niza više ne postoji","worktreeRestoreBanner.missing.title":"Nedostaje trenutni radni direktorij","worktreeRestoreBanner.restore.error":"Neuspješno obnavljanje rasporeda rada: {message}","worktreeRestoreBanner.restore.success":"Obnovljen raspored rada","worktreeRestoreBanner.restoreCta":"Obnovi raspored rada","worktreeRestoreBanner.title":"Počišćen raspored rada"};Object.assign(e,globalThis.codexI18nOverrides?.["bs-BA"]);export{e as default};
 //# sourceMappingURL=bs-BA-B5zajatk.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Copia","app.sidebar.hide":"Oculta la barra lateral","app.sidebar.show":"Obre la barra lateral","app.sidebar.tooltip":"Commutar la barra lateral","appHeader.installUpdate":"Actualitza","appSunset.body":"Aquesta versió de l’app ja no és compatible. Baixa la versió més recent <here>aquí</here>.","appSunset.title":"És necessari actualitzar","automation.updateDirective.create":"Crea","automation.updateDirective.open":"Obre","automation.updateDirective.untitled":"Automatització sense títol","automation.updateDirective.update":"Actualitza","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# intent} many {# intents} other {# intents}}","cloudTaskRow.archiveError":"Error en arxivar la tasca","code.diff.requestChange":"Sol·licita un canvi","code.diffComment.cancel":"Cancel·la","code.diffComment.comment":"Comenta","code.diffComment.delete":"Suprimeix","code.diffComment.save":"Desa","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"No s’ha informat de cap resultat.","codex.alert.closeAriaLabel":"Tanca","codex.appUpsellBanner.cbpApi.message":"Crea més ràpid amb l’app de Codex. Baixa-la ara o {learnMoreLink}.","codex.appUpsellBanner.download":"Baixa","codex.appUpsellBanner.freeGo.message":"Codex s’inclou en el teu pla fins al 2 de març. Prova l’app de Codex per crear més ràpid.","codex.appUpsellBanner.later":"Més endavant","codex.appUpsellBanner.learnMoreLowercase":"més informació","codex.appUpsellBanner.new":"Nou","codex.appUpsellBanner.proPlusBusiness.message":"Prova l’app de Codex amb el doble de límits fins al 2 d’abril. Baixa-la ara o {learnMoreLink}.","codex.appUpsellBanner.title":"App de Codex","codex.applyDropdown.header.changes":"Canvis","codex.applyDropdown.header.fileCount":"{count, plural, one {# fitxer} many {# fitxers} other {# fitxers}}","codex.applyDropdown.header.rows":"files","codex.applyDropdown.header.title":"Aplica els canvis","codex.applyDropdown.header.workspace":"Projecte","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fitxer en conflicte:} many {{count} fitxers en conflicte:} other {{count} fitxers en conflicte:}}","codex.applyDropdown.results.empty":"No s’ha copiat cap fitxer","codex.applyDropdown.results.skipped":"{count, plural, one {1 fitxer omès:} many {{count} fitxers omesos:} other {{count} fitxers omesos:}}","codex.applyOrRevertBanner.apply":"Aplica","codex.applyOrRevertBanner.applyMessage":"Vols aplicar els canvis i continuar localment?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Aquesta tasca es va fer a {environment} i, per tant, és possible que no s’apliqui correctament.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Els canvis s’han fet a {environment} i, per tant, és possible que no s’apliquin correctament.","codex.applyOrRevertBanner.reapply":"Torna a aplicar","codex.applyOrRevertBanner.revert":"Reverteix","codex.applyOrRevertBanner.revertMessage":"Vols revertir els canvis aplicats?","codex.applyResultsDialog.applied":"Aplicat correctament ({count})","codex.applyResultsDialog.close":"Tanca","codex.applyResultsDialog.conflicted":"En conflicte ({count})","codex.applyResultsDialog.noDetails":"No hi ha informació del fitxer disponible.","codex.applyResultsDialog.skipped":"Omès ({count})","codex.applyResultsDialog.title":"Aplica els resultats","codex.archiveInfo":"Mostra els xats arxivats a {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Controls de dades","codex.archiveInfo.electron":"Mostra els xats arxivats a {settingsLink}","codex.archiveInfo.extension":"Mostra els xats arxivats a la teva carpeta .codex.","codex.archiveInfo.settingsLink":"Configuració","codex.banner.content.description":"Executa tasques en paral·lel, segueix el progrés a qualsevol lloc i revisa sol·licituds de canvis amb IA.","codex.banner.content.headline":"Codex ho fa tot.","codex.cloudTaskRow.archiveTask":"Arxiva la tasca","codex.cloudTaskRow.confirmArchiveTask":"Confirma","codex.command.feedback":"Comentaris","codex.command.findInThread":"Cerca","codex.command.forceReloadSkills":"Força la recàrrega de les habilitats","codex.command.logOut":"Tanca la sessió","codex.command.manageTasks":"Gestiona les tasques","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Enrere","codex.command.navigateForward":"Endavant","codex.command.newThread":"Nou fil","codex.command.nextThread":"Fil nou","codex.command.openFolder":"Obre la carpeta","codex.command.openSkills":"Ves a habilitats","codex.command.openThreadOverlay":"Obre el fil en una finestra independent","codex.command.personalitySettings":"Personalitat","codex.command.previousThread":"Fil anterior","codex.command.settings":"Configuració","codex.command.toggleDiffPanel":"Activa el panell del diff","codex.command.toggleSidebar":"Commutar la barra lateral","codex.command.toggleTerminal":"Commuta el terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"Configura","codex.commandGroup.navigation":"Navegació","codex.commandGroup.panels":"Panells","codex.commandGroup.skills":"Habilitats","codex.commandGroup.thread":"Fil","codex.commandGroup.workspace":"Projecte","codex.commandMenu.noResults":"No s’han trobat coincidències","codex.commandMenu.searchPlaceholder":"Cerca ordres","codex.commandMenu.suggestedGroup":"Suggerits","codex.commandMenu.switchWorkspace":"Canvia de projecte","codex.commandMenu.title":"Menú d’ordres","codex.common.retry":"Torna-ho a provar","codex.composer.searchBranches":"Cerca branques","codex.dialog.basic.body":"Aquest és un quadre de diàleg modal senzill que utilitza el nostre contenidor al voltant de Radix Dialog.","codex.dialog.basic.cancel":"Cancel·la","codex.dialog.basic.confirm":"Confirma","codex.dialog.basic.open":"Obre el quadre de diàleg","codex.dialog.basic.title":"Quadre de diàleg de mostra","codex.dialog.long.close":"Tanca","codex.dialog.long.line":"Línia desplaçable {index} per mostrar contingut llarg dins del quadre de diàleg.","codex.dialog.long.open":"Obre el quadre de diàleg llarg","codex.dialog.long.title":"Quadre de diàleg llarg","codex.dialog.unstyled.body":"Aquesta història mostra com els locutors poden controlar completament l’estil del contingut del diàleg.","codex.dialog.unstyled.open":"Obre un diàleg sense estil","codex.dialog.unstyled.title":"Contingut sense estil","codex.diff.openInEditorPrompt.openButton":"Obre a l’editor","codex.diff.openInEditorPrompt.singleLine":"El fitxer és massa gran per mostrar-lo aquí.","codex.diffView.failedToDecodeBase64Diff":"No s’ha pogut descodificar el diff base64","codex.diffView.filesChanged":"{fileCount, plural, one {# fitxer canviat} many {# fitxers canviats} other {# fitxers canviats}}","codex.diffView.imagePreviewAlt":"Vista prèvia de la imatge","codex.diffView.imagePreviewEmpty":"No hi ha imatge","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"–{linesDeleted}","codex.diffView.noDiffData":"No hi ha dades del diff","codex.diffView.pdfPreview.nextPage":"Pàgina següent","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Pàgina anterior","codex.diffView.pdfPreviewEmpty":"No hi ha previsualització en PDF","codex.diffView.pdfPreviewError":"No es pot generar la previsualització en PDF","codex.diffView.richPreviewDisable":"Inhabilita la previsualització enriquida","codex.diffView.richPreviewEnable":"Habilita la previsualització enriquida","codex.diffView.richPreviewLoading":"Carregant previsualització…","codex.diffView.richPreviewToggle":"Commuta la previsualització enriquida","codex.diffView.switchToUnified":"Canvia a diff unificat","codex.environmentSelector.noEnvironment":"Sense entorn","codex.environments.environmentSettings":"Configuració de l’entorn","codex.environments.learnMore":"Més informació","codex.environments.listError":"No s’han pogut carregar els entorns.","codex.environments.noEnvironmentsFound":"No s’ha trobat cap entorn","codex.environments.searchError":"No s’han pogut cercar els entorns.","codex.errorBoundary.genericError":"Vaja, s’ha produït un error","codex.errorBoundary.goHome":"Torna-ho a provar","codex.file.patch.missing":"No s’ha pogut apedaçar aquest fitxer.","codex.gallery.automations.cwdLabel":"Projectes","codex.gallery.automations.nameLabel":"Nom","codex.gallery.automations.namePlaceholder":"Resumeix una tasca","codex.gallery.automations.promptLabel":"Indicació","codex.gallery.automations.promptPlaceholder":"Descriu què hauria de fer Codex","codex.gallery.dialogs.automation.label":"Diàleg d’automatització","codex.gallery.dialogs.basic.body":"Utilitza aquest disseny per a confirmacions senzilles o formularis curts.","codex.gallery.dialogs.basic.cancel":"Cancel·la","codex.gallery.dialogs.basic.confirm":"Confirma","codex.gallery.dialogs.basic.label":"Diàleg bàsic","codex.gallery.dialogs.basic.title":"Diàleg de mostra","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Descriu el problema","codex.gallery.dialogs.feedbackSubmission.bad":"Mal resultat","codex.gallery.dialogs.feedbackSubmission.bug":"Error","codex.gallery.dialogs.feedbackSubmission.good":"Bon resultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inclou els registres de sessió de Codex actuals","codex.gallery.dialogs.feedbackSubmission.label":"Enviament de comentaris","codex.gallery.dialogs.feedbackSubmission.other":"Altres","codex.gallery.dialogs.feedbackSubmission.placeholder":"Descriu el problema aquí","codex.gallery.dialogs.feedbackSubmission.submit":"Envia","codex.gallery.dialogs.feedbackSubmission.title":"Comentaris","codex.gallery.dialogs.feedbackSuccess.body":"S’ha pujat el comentari. Si el problema persisteix, obre una incidència a GitHub o esmenta l’identificador del fil en una incidència que ja estigui oberta.","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ignora","codex.gallery.dialogs.feedbackSuccess.label":"Enviament de comentaris correcte","codex.gallery.dialogs.feedbackSuccess.title":"S’ha pujat el comentari","codex.gallery.dialogs.gitApplyResults.applied":"Aplicat correctament (2)","codex.gallery.dialogs.gitApplyResults.close":"Tanca","codex.gallery.dialogs.gitApplyResults.conflicted":"En conflicte: (1)","codex.gallery.dialogs.gitApplyResults.label":"Aplica els resultats","codex.gallery.dialogs.gitApplyResults.title":"Aplica els resultats","codex.gallery.dialogs.gitPushError.body":"Descarrega els últims canvis o fes un force push si saps que l’historial remot es pot sobreescriure amb seguretat.","codex.gallery.dialogs.gitPushError.cancel":"Cancel·la","codex.gallery.dialogs.gitPushError.force":"Força el push","codex.gallery.dialogs.gitPushError.label":"Error en fer push","codex.gallery.dialogs.gitPushError.subtitle":"La teva branca va per darrere d’origen/principal.","codex.gallery.dialogs.gitPushError.title":"No s’han pogut enviar els canvis","codex.gallery.dialogs.gitRevert.cancel":"Cancel·la","codex.gallery.dialogs.gitRevert.confirm":"Reverteix","codex.gallery.dialogs.gitRevert.label":"Reverteix els canvis","codex.gallery.dialogs.gitRevert.skip":"No m’ho tornis a preguntar","codex.gallery.dialogs.gitRevert.subtitle":"Aquesta acció elimina tots els canvis.","codex.gallery.dialogs.gitRevert.title":"Vols revertir els canvis?","codex.gallery.dialogs.longForm.label":"Diàleg de format llarg","codex.gallery.dialogs.proseModal.body":"Aquest estil de modal s’utilitza per a indicacions més llargues, processos d’incorporació o blocs de contingut enriquit.","codex.gallery.dialogs.proseModal.close":"Tanca","codex.gallery.dialogs.proseModal.subtitle":"Comparteix aquí guies o documentació de format llarg.","codex.gallery.dialogs.proseModal.title":"Modal de prosa","codex.gallery.dialogs.submitBlocked.label":"Enviament bloquejat","codex.gallery.dialogs.submitBlocked.message":"No s’ha pogut enviar el missatge perquè el projecte no està disponible.","codex.gallery.dialogs.submitBlocked.ok":"D’acord","codex.gallery.dialogs.submitBlocked.title":"No s’ha pogut enviar el missatge","codex.gallery.dialogs.title":"Diàlegs","codex.gallery.dropdown.filterPlaceholder":"Filtra articles","codex.gallery.dropdowns.actionRow":"Files d’accions","codex.gallery.dropdowns.actionRow.disabled":"Acció deshabilitada","codex.gallery.dropdowns.actionRow.primary":"Acció principal","codex.gallery.dropdowns.actionRow.secondary":"Acció secundària","codex.gallery.dropdowns.actionRow.trigger":"Mostra les accions","codex.gallery.dropdowns.basic":"Desplegable bàsic","codex.gallery.dropdowns.basic.newFile":"Fitxer nou","codex.gallery.dropdowns.basic.newFolder":"Nova carpeta","codex.gallery.dropdowns.basic.openSettings":"Obre la configuració","codex.gallery.dropdowns.basic.title":"Accions ràpides","codex.gallery.dropdowns.basic.trigger":"Obre el menú","codex.gallery.dropdowns.basic.upload":"Puja","codex.gallery.dropdowns.panel":"Superfície del panell","codex.gallery.dropdowns.panel.apply":"Aplica","codex.gallery.dropdowns.panel.body":"Revisa els diffs i aplica’ls al projecte.","codex.gallery.dropdowns.panel.preview":"Previsualització","codex.gallery.dropdowns.panel.title":"Aplica els canvis","codex.gallery.dropdowns.panel.trigger":"Obre el panell","codex.gallery.dropdowns.search":"Desplegable amb cerca","codex.gallery.dropdowns.search.first":"Canal d’Alpha","codex.gallery.dropdowns.search.second":"Branca beta","codex.gallery.dropdowns.search.third":"Candidat a llançament","codex.gallery.dropdowns.search.trigger":"Filtra articles","codex.gallery.dropdowns.submenu":"Desplegable amb submenú","codex.gallery.dropdowns.submenu.optionA":"Projecte alfa","codex.gallery.dropdowns.submenu.optionB":"Projecte beta","codex.gallery.dropdowns.submenu.optionC":"Projecte gamma","codex.gallery.dropdowns.submenu.primary":"Assigna el propietari","codex.gallery.dropdowns.submenu.secondary":"Mou-lo a","codex.gallery.dropdowns.submenu.tertiary":"Arxiva","codex.gallery.dropdowns.submenu.trigger":"Tria una acció","codex.gallery.dropdowns.title":"Desplegables","codex.gallery.inbox.automations.close":"Tanca","codex.gallery.inbox.automations.popover.cardTitle":"Gestiona les automatitzacions","codex.gallery.inbox.automations.popover.dialogTitle":"Gestiona les automatitzacions","codex.header.settingsTooltip":"Configuració","codex.hunk.patch.error":"Error en desar a la pila","codex.hunk.patch.missing":"No s’ha pogut apedaçar aquest fragment.","codex.hunk.patch.partialSuccess":"Èxit parcial","codex.hunk.patch.revertError":"Error en treure de la pila","codex.hunk.patch.revertSuccess":"S’ha tret de la pila correctament","codex.hunk.patch.success":"S’ha desat a la pila correctament","codex.legal.autonomy.details":"Si vols més informació, consulta la {link}","codex.legal.autonomy.details.link":"documentació de Codex","codex.legal.autonomy.title":"Decideix quanta autonomia li vols donar","codex.legal.backButton":"Enrere","codex.legal.cloud.taskOne.meta":"openai/agi · 12 oct","codex.legal.cloud.taskOne.title":"Explica el repositori a un dissenyador nou","codex.legal.cloud.taskThree.meta":"openai/codex · 8 oct","codex.legal.cloud.taskThree.stats.negative":"–123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Crea un tema fosc","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 oct","codex.legal.cloud.taskTwo.stats.negative":"–20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Arregla un error d’incorporació","codex.legal.continue.apikey":"Continua","codex.legal.continueButton":"Següent","codex.legal.copilot.details":"Utilitza el teu pla de Copilot per a les crides del model, la facturació i els límits tarifaris. L’ús de l’extensió de Codex està subjecte tant a les {oaiTos} com a les {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"condicions del servei de GitHub","codex.legal.copilot.oaiTosLink":"condicions del servei d’OpenAI Codex","codex.legal.copilot.title":"Amb tecnologia de GitHub Copilot","codex.legal.mistakes.review":"Revisa el codi que escriu i les ordres que executa","codex.legal.mistakes.title":"Codex es pot equivocar","codex.legal.powered.details":"Utilitza els límits tarifaris del teu pla i les teves {link}","codex.legal.powered.details.link":"preferències de dades d’entrenament ","codex.legal.powered.title":"Funciona amb el teu compte de ChatGPT","codex.legal.step.cloud.subtitle":"Envia tasques a Codex perquè les executi de fons i tu puguis concentrar-te i avançar més ràpidament.","codex.legal.step.cloud.title":"Entrega a Codex al núvol","codex.legal.step.intro.subtitle":"Codex navega, modifica i executa ordres i proves directament al teu repositori. Funciona amb el teu compte de ChatGPT.","codex.legal.step.intro.title":"Codex al teu IDE","codex.legal.step.todo.subtitle":"Escriu un comentari TODO i converteix-lo en una tasca de Codex amb un clic.","codex.legal.step.todo.title":"Converteix TODO en tasques de Codex","codex.legal.todo.heading":"// TODO: esquema d’implementació","codex.localConversation.closeImagePreview":"Tanca la vista prèvia de la imatge","codex.localConversation.userImageAttachment":"Fitxer adjunt de l’usuari","codex.localTaskRow.archiveTask":"Arxiva el fil","codex.localTaskRow.awaitingApproval":"Esperant aprovació","codex.localTaskRow.awaitingResponse":"S’està esperant una resposta","codex.localTaskRow.confirmArchiveTask":"Confirma","codex.loggedOut.apiKeyPrompt.cancel":"Cancel·la","codex.loggedOut.apiKeyPrompt.confirm":"D’acord","codex.loggedOut.apiKeyPrompt.getKey":"Obtén la clau d’API","codex.loggedOut.apiKeyPrompt.inputLabel":"Escriu la teva clau d’API d’OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Les tasques al núvol s’han inhabilitat amb la clau d’API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Les tasques al núvol s’han inhabilitat amb Copilot i la clau d’API","codex.loggedOut.signIn":"Inicia la sessió a ChatGPT","codex.loggedOut.signIn.cancel":"Cancel·la l’inici de sessió","codex.loggedOut.signInWithCopilot":"Inicia la sessió a GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Utilitza la clau d’API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} eina","codex.mcpTool.collapsedLabel.verb.called":"S’ha trucat","codex.mcpTool.collapsedLabel.verb.calling":"S’està trucant","codex.mcpTool.embeddedResource.contentLabel":"Contingut","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tipus de MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"L’eina no ha tornat cap contingut","codex.mcpTool.rawPayloadHeading":"Contingut sense processar de la crida a l’eina {server}.{tool}","codex.menu.recent":"Recents","codex.menu.seeAllHistory":"Mostra tot l’historial","codex.modelCapacityBanner.headline.noReset":"{modelName} està al màxim de capacitat en aquest moment. Torna-ho a provar més tard o inicia una conversa nova amb un altre model.","codex.modelCapacityBanner.headline.withReset":"{modelName} està al màxim de capacitat en aquest moment. Torna-ho a provar d’aquí a {resetDate} o inicia una conversa nova amb un altre model.","codex.modelCapacityBanner.title":"El model seleccionat està al màxim de capacitat","codex.patch.change.contentsDeleted":"Continguts eliminats","codex.patch.change.created":"Data de creació","codex.patch.change.created-file":"Fitxer creat","codex.patch.change.creating":"S’està creant","codex.patch.change.deleted":"Eliminat","codex.patch.change.deleted-file":"Fitxer suprimit","codex.patch.change.deleting":"S’està suprimint","codex.patch.change.edited":"Modificat","codex.patch.change.edited-file":"Fitxer modificat","codex.patch.change.editing":"S’està modificant","codex.patch.change.noChanges":"No hi ha canvis","codex.patch.change.rejected-add":"S’ha rebutjat","codex.patch.change.rejected-delete":"S’ha rebutjat","codex.patch.change.rejected-edit":"S’ha rebutjat","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} de {total} tasques completades","codex.plan.todoListCreated":"Llista de tasques creada amb {total} tasques","codex.profileDropdown.apiKeyAuth":"Sessió iniciada amb clau d’API","codex.profileDropdown.codexSettings":"Configuració de Codex","codex.profileDropdown.copilotAuth":"Sessió iniciada amb Copilot","codex.profileDropdown.defaultAccountTitle":"Compte predeterminat","codex.profileDropdown.enterBehavior":"{modifierSymbol} + tecla de retorn per enviar indicacions llargues","codex.profileDropdown.enterBehaviorError":"No s’ha pogut actualitzar la configuració","codex.profileDropdown.getPlus":"Actualitza per ampliar els límits","codex.profileDropdown.keyboardShortcuts":"Dreceres de teclat","codex.profileDropdown.language":"Idioma","codex.profileDropdown.languageDefault":"Detecció automàtica","codex.profileDropdown.languageSearchPlaceholder":"Cerca idiomes","codex.profileDropdown.languageUpdateError":"No s’ha pogut actualitzar l’idioma","codex.profileDropdown.logOut":"Tanca la sessió","codex.profileDropdown.mcp":"Configuració d’MCP","codex.profileDropdown.openConfigToml":"Obre config.toml","codex.profileDropdown.openConfigToml.wsl":"Obre config.toml a l’entorn WSL","codex.profileDropdown.openExtensionSettings":"Obre la configuració","codex.profileDropdown.openMcpSettings":"Obre la configuració d’MCP","codex.profileDropdown.openOnStartup":"Obre a l’inici","codex.profileDropdown.openOnStartupError":"No s’ha pogut actualitzar la configuració","codex.profileDropdown.openSkillsSettings":"Obre la configuració d’Habilitats","codex.profileDropdown.personalAccountTitle":"Compte personal","codex.profileDropdown.queueFollowUps":"Posa els seguiments en cua","codex.profileDropdown.queueFollowUpsError":"No s’ha pogut actualitzar la configuració","codex.profileDropdown.readDocs":"Llegeix la documentació","codex.profileDropdown.readSkillsDocs":"Llegeix la documentació","codex.profileDropdown.runInWsl":"Executa a WSL","codex.profileDropdown.runInWslError":"No s’ha pogut actualitzar la configuració","codex.profileDropdown.runInWslTooltip":"Executa Codex a WSL. Recomanat per augmentar la seguretat de l’entorn aïllat i millorar el rendiment.","codex.profileDropdown.settings":"Configuració d’IDE","codex.profileDropdown.settingsPage":"Configuració","codex.profileDropdown.signInWithOpenAI":"Inicia la sessió a ChatGPT","codex.profileDropdown.skills":"Configuració d’Habilitats","codex.profileDropdown.switchToCopilotAccount":"Utilitza el compte de Copilot","codex.profileDropdown.switchToOpenAIAccount":"Utilitza el compte d’OpenAI","codex.profileDropdown.todoCodelens":"Arregla els comentaris TODO","codex.profileDropdown.todoCodelensError":"No s’ha pogut actualitzar la configuració","codex.profileDropdown.windowsDocumentation":"Documentació de Windows","codex.profileFooter.signedInFallback":"Configuració","codex.profileFooter.upgrade":"Actualitza","codex.recentTasksMenu.clearSearch":"Elimina la cerca","codex.recentTasksMenu.cloud":"Tasques al núvol","codex.recentTasksMenu.count":"{count, plural, =0 {No hi ha tasques en curs} one {# tasca en curs} many {# tasques en curs} other {# tasques en curs}}","codex.recentTasksMenu.empty":"Encara no hi ha cap fil","codex.recentTasksMenu.errorCloud":"No s’han pogut carregar les tasques.","codex.recentTasksMenu.errorCloud.inline":"No s’han pogut carregar les tasques al núvol.","codex.recentTasksMenu.filterAll":"Tots","codex.recentTasksMenu.filterCloudTasks":"Filtra les tasques al núvol","codex.recentTasksMenu.filterTooltip":"Filtra les tasques per entorn","codex.recentTasksMenu.local":"Tasques locals","codex.recentTasksMenu.recent":"Totes les tasques","codex.recentTasksMenu.search":"Cerca les tasques recents","codex.recentTasksMenu.searchEmpty":"No hi ha resultats","codex.recentTasksMenu.tooltip":"Historial de tasques","codex.recentTasksMenu.trigger":"Tasques recents. {count, plural, one {# en curs} many {# en curs} other {# en curs}}","codex.remoteConversation.applyDiff.applyCta":"Aplica els canvis","codex.remoteConversation.applyDiff.dropdownTitle":"Aplica els canvis a una branca local","codex.remoteConversation.applyDiff.revertCta":"Reverteix els canvis","codex.remoteConversation.closeImagePreview":"Tanca la vista prèvia de la imatge","codex.remoteConversation.codexCloudTask":"Estàs veient una tasca a <u>Codex Cloud</u>","codex.remoteConversation.errorWithMessage":"Error: {message}","codex.remoteConversation.loadingImage":"S’està carregant la imatge","codex.remoteConversation.openInWeb":"Obre al web","codex.remoteConversation.streaming":"Primers passos","codex.remoteConversation.turnFailed":"S’ha produït un error durant la tasca","codex.remoteConversation.turnTab.loading":"Intent {number}","codex.remoteConversation.turnTab.title":"Intent {number}","codex.remoteConversation.userImageAttachment":"Fitxer adjunt de l’usuari","codex.remoteConversation.viewPreviousTurns":"Obre al web","codex.remoteConversation.viewPreviousTurns.buttonText":"Obre","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Obre al web","codex.review.copyGitApplyCommand":"Copia l’ordre git apply","codex.review.copyGitApplyCommand.toast":"S’ha copiat l’ordre git apply al porta-retalls","codex.review.diffTooLarge.description":"Aquest diff és massa gran per mostrar-lo a Revisió.","codex.review.diffTooLarge.title":"El diff és massa gran per mostrar-lo","codex.review.expandOrCollapseDiffButton.collapse":"Anul·la tots els diffs","codex.review.expandOrCollapseDiffButton.expand":"Amplia tots els diffs","codex.review.expandOrCollapseDiffMenu.collapse":"Anul·la tots els diffs","codex.review.expandOrCollapseDiffMenu.expand":"Amplia tots els diffs","codex.review.fileSearch.clear":"Esborra el filtre de fitxer","codex.review.fileSearch.empty":"No hi ha fitxers que coincideixin amb el filtre actual.","codex.review.fileSearch.label":"Filtra fitxers","codex.review.fileSearch.placeholder":"S’estan filtrant fitxers…","codex.review.filesChanged":"{num, plural, =0 {No ha canviat cap fitxer} one {# fitxer canviat} many {# fitxers canviats} other {# fitxers canviats}}","codex.review.find.loadMore":"Carrega més coincidències","codex.review.fullReview.hideFileTree":"Oculta l’arbre de fitxers","codex.review.fullReview.showFileTree":"Mostra l’arbre de fitxers","codex.review.header.moreOptions":"Opcions de previsualització","codex.review.largeDiff.banner":"S’ha detectat un diff gran: es mostra un fitxer a la vegada.","codex.review.loadFullFiles.disable":"No carreguis fitxers complets","codex.review.loadFullFiles.enable":"Carrega fitxers complets","codex.review.noDiff":"Els canvis de fitxer apareixeran aquí","codex.review.noDiff.gitInit.createRepository":"Crea un repositori de git","codex.review.noDiff.gitInit.creating":"S’està creant…","codex.review.noDiff.gitInit.error":"Ha fallat la inicialització de Git: {message}","codex.review.noDiff.gitInit.success":"S’ha creat un repositori de Git","codex.review.noDiff.gitRepoRequired.description":"Fes seguiment i desfés canvis en aquest projecte.","codex.review.noDiff.gitRepoRequired.title":"Crea un repositori de Git","codex.review.noDiff.orNoLongerAvailable":"o els últims diffs ja no estan disponibles","codex.review.noDiff.reverted":"L’última versió s’ha revertit","codex.review.noDiff.revertedOrCommitted":"L’última versió s’ha revertit o s’ha confirmat","codex.review.refreshGitQueries":"Actualitza","codex.review.revert.file.error":"No s’ha pogut revertir {path}","codex.review.revert.file.partialSuccess":"S’ha revertit parcialment {path}","codex.review.revert.file.success":"S’ha revertit {path}","codex.review.revert.hunk.error":"No s’ha pogut revertir el fragment {hunkNumber} a {path}","codex.review.revert.hunk.partialSuccess":"S’ha revertit parcialment el fragment {hunkNumber} a {path}","codex.review.revert.hunk.success":"S’ha revertit el fragment {hunkNumber} a {path}","codex.review.revert.section.error":"No s’ha pogut revertir la secció","codex.review.revert.section.partialSuccess":"S’ha revertit parcialment la secció","codex.review.revert.section.success":"S’ha revertit la secció","codex.review.revertDialog.cancel":"Cancel·la","codex.review.revertDialog.confirm":"Confirma","codex.review.revertDialog.message":"Aquesta acció elimina tots els canvis.","codex.review.revertDialog.skip":"No m’ho tornis a preguntar","codex.review.revertDialog.title":"Vols revertir els canvis?","codex.review.richPreview.disable":"Inhabilita la previsualització enriquida","codex.review.richPreview.enable":"Habilita la previsualització enriquida","codex.review.source.cloud":"Canvis al núvol","codex.review.source.local.all":"Tots els canvis de branca","codex.review.source.local.lastTurn":"Últims canvis de gir","codex.review.source.local.uncommitted":"Canvis no confirmats","codex.review.source.worktree":"Canvis de l’arbre de treball sense confirmar","codex.review.stageFilter.empty.staged.description":"Accepta els canvis per preparar-los","codex.review.stageFilter.empty.staged.title":"No hi ha canvis preparats","codex.review.stageFilter.empty.unstaged.description":"Els canvis de codi apareixeran aquí","codex.review.stageFilter.empty.unstaged.title":"No hi ha canvis preparats","codex.review.stageFilter.staged":"Desats a la pila","codex.review.stageFilter.staged.count":"Desats a la pila · {count}","codex.review.stageFilter.unstaged":"No desats a la pila","codex.review.stageFilter.unstaged.count":"No desats a la pila · {count}","codex.review.switchToSplit":"Canvia per dividir el diff","codex.review.switchToUnified":"Canvia a diff unificat","codex.review.toggleDiffView":"Activa la vista del diff","codex.review.wordDiffs.disable":"Inhabilita els diffs de paraules","codex.review.wordDiffs.enable":"Habilita els diffs de paraules","codex.review.wrap.disable":"Inhabilita l’ajust de línia","codex.review.wrap.enable":"Habilita l’ajust de línia","codex.section.patch.missing":"No s’ha pogut apedaçar aquesta secció.","codex.shell.collapse":"Redueix el shell","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"S’ha copiat el contingut del shell","codex.shell.copy.copyTooltip":"Copia el contingut del shell","codex.shell.copyCommand":"Copia l’ordre","codex.shell.copyOutput":"Copia la sortida","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"Amplia el shell","codex.shell.name":"Shell","codex.shell.noOutput":"Sense sortida","codex.signInFailed.message":"Error d’inici de sessió: {rawMessage}","codex.stories.toast.show":"Mostra la notificació emergent","codex.stories.tooltip.basic":"Això és un globus","codex.stories.tooltip.hoverMe":"Passa’m per sobre","codex.stories.tooltip.largerOffset":"Aquest globus té un desplaçament més llarg","codex.stories.tooltip.offsetButton":"Desplaçament més llarg","codex.stories.tooltip.shortcutButton":"Amb drecera","codex.stories.tooltip.withShortcut":"Commuta el terminal","codex.taskRow.title":"Nou fil","codex.taskRowLayout.confirm":"Confirma","codex.threadFindBar.chatFilter":"Cerca xat","codex.threadFindBar.close":"Tanca la cerca","codex.threadFindBar.diffFilter":"Cerca diffs","codex.threadFindBar.label":"Cerca en un fil","codex.threadFindBar.nextResult":"Resultat següent","codex.threadFindBar.noResults":"0 resultats","codex.threadFindBar.placeholder":"Cerca un fil…","codex.threadFindBar.placeholder.extension":"Cerca un fil…","codex.threadFindBar.placeholder.review":"Cerca diffs…","codex.threadFindBar.placeholder.review.extension":"Cerca diffs…","codex.threadFindBar.previousResult":"Resultat anterior","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fitxer canviat} many {# fitxers canviats} other {# fitxers canviats}}","codex.unifiedDiff.inlineLargeFile":"Massa gran per renderitzar en línia","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"–{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Desfés","codex.unifiedDiff.revertPatchError":"No s’han pogut revertir els canvis","codex.unifiedDiff.revertPatchSuccess":"S’han revertit els canvis","codex.unifiedDiff.reviewChangesSuffix":"canvis","codex.unifiedDiff.reviewShort":"Revisa","codex.unifiedDiff.viewDiffTooltip":"Revisa","codex.upsellBanner.business.headline":"Per ampliar l’accés, envia ara una sol·licitud a l’administrador, o espera fins {resetDate}.","codex.upsellBanner.cbp.headline":"Amplia l’accés ara enviant una sol·licitud a l’administrador.","codex.upsellBanner.cta.addCredits":"Afegeix crèdits","codex.upsellBanner.cta.upgradeAccount":"Actualitza","codex.upsellBanner.cta.viewUsage":"Mostra l’ús","codex.upsellBanner.free.trialHeadline":"El teu límit es restablirà el {resetDate}. Per continuar utilitzant Codex i accedir a GPT-5.3-Codex, inicia avui la prova gratuïta de Plus. ","codex.upsellBanner.freeOrGo.headline":"El límit es restableix el {resetDate}. Per continuar utilitzant Codex, actualitza a Plus avui.","codex.upsellBanner.general.headline":"El límit de la tarifa es restableix el {resetDate}.","codex.upsellBanner.general.title":"Ja no pots enviar missatges Codex","codex.upsellBanner.go.trialHeadline":"El teu límit es restablirà el {resetDate}. Per continuar utilitzant Codex, inicia avui la prova gratuïta de Plus. ","codex.upsellBanner.plus.headline":"El límit de la tarifa es restableix el {resetDate}. Per continuar utilitzant Codex, afegeix crèdits o actualitza a Pro avui.","codex.upsellBanner.pro.headline":"El límit de la tarifa es restableix el {resetDate}. Afegeix crèdits per continuar utilitzant Codex ara.","codex.userMessage.autoResolveSync":"Resol automàticament els conflictes","codex.userMessage.commentCount":"{count, plural, one {# comentari} many {# comentaris} other {# comentaris}}","codex.userMessage.copiedAriaLabel":"Copiat","codex.userMessage.copiedTooltip":"Copiat","codex.userMessage.copyAriaLabel":"Copia el missatge","codex.userMessage.copyTooltip":"Copia","codex.userMessage.implementPlan":"Implementa un pla","codex.userMessage.noContent":"(No hi ha contingut)","codex.userMessage.priorConversation":"Fa referència a una conversa prèvia","codex.userMessage.reviewMode":"Mode de revisió","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"per a {query}","codex.webSearch.summary.verb.completed":"S’ha cercat al web","codex.webSearch.summary.verb.inProgress":"S’està cercant al web","codex.windowsInstallWslBanner.dismiss":"Ignora","codex.windowsInstallWslBanner.installWslCta":"Habilita l’entorn de proves","codex.windowsInstallWslBanner.learnMore":"Més informació","codex.windowsSandboxBanner.content":"El mode agent utilitza un entorn de proves experimental a Windows per limitar l’accés al sistema de fitxers i a la xarxa. {sandboxLink}","codex.windowsSandboxBanner.title":"Habilita l’entorn de proves per al mode Agent","codex.windowsSubDropdown.windowsSandbox":"Entorn de proves de Windows","codex.windowsSubDropdown.windowsSettings":"Configuració de Windows","codexUpgradeModal.body":"El nostre últim model de programació agencial d’avantguarda: més intel·ligent, més ràpid i més capacitat per fer tasques tècniques generals. {link}","codexUpgradeModal.close":"Tanca","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Més informació","codexUpgradeModal.title":"Et presentem GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Prova GPT-5.3-Codex ja","codexUpgradeModal.useExistingModel":"Continua amb el model actual","commentAttachments.numComments":"{count, plural, one {# comentari} many {# comentaris} other {# comentaris}}","commentAttachments.removeAriaLabel":"Elimina els comentaris adjunts","common.close":"Tanca","composer.addContext.openFilePickerError":"No es pot obrir el selector de fitxers","composer.addContextDropdown.ariaLabel":"Afegeix fitxers i més","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Afegeix fitxers i més","composer.addPhotosAndFiles":"Afegeix fotos i fitxers","composer.atMentionList.emptyQuery":"Escriu per cercar fitxers","composer.atMentionList.loading":"S’està cercant…","composer.atMentionList.noResults":"No hi ha resultats","composer.attemptsSelector.option":"{count, plural, one {# versió} many {# versions} other {# versions}}","composer.attemptsSelector.tooltip":"Nombre d’intents paral·lels que ha de fer Codex","composer.attemptsSelector.trigger":"{count}×","composer.backgroundTerminals.stop":"Atura","composer.cloudFollowUp.cloud":"Núvol","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"On s’hauria d’executar aquest seguiment?","composer.cloudTaskCreationError":"Error en crear la tasca al núvol","composer.cloudTaskError":"Error en crear la tasca","composer.contextWindow.autoCompactionTooltipLine1":"Codex compacta automàticament el context","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Finestra de context:","composer.contextWindowUsageStatusFull":"{usage} % ple","composer.contextWindowUsageStatusLeft":"{usage} % utilitzat ({remaining} % restant)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens utilitzats","composer.customCliTooltip":"S’està fent servir un executable CLI personalitzat","composer.dictation.aria":"Dicta","composer.dictation.cancel.aria":"Atura el dictat","composer.dictation.cancel.tooltip":"Atura el dictat","composer.dictation.startError":"No s’ha pogut iniciar el dictat","composer.dictation.submit.aria":"Transcriu i envia","composer.dictation.submit.tooltip":"Transcriu i envia","composer.dictation.tooltip":"Mantén premut per dictar","composer.dictation.transcribeError":"No s’ha pogut transcriure l’àudio","composer.dictation.unsupported":"El dictat no està disponible en aquest dispositiu","composer.dropOverlay.holdShift":"Mantén {key} per deixar-lo anar","composer.dropOverlay.shiftKey":"Majúscules","composer.environmentSelector.createNew":"Crea’n un de nou","composer.environmentSelector.error":"Error en carregar els entorns","composer.environmentSelector.goBack":"Torna al compositor","composer.environmentSelector.title":"Selecciona un entorn","composer.environmentSelector.tooltip":"Selecciona un entorn al núvol","composer.feedbackSlashCommand.title":"Comentaris","composer.filePicker.selectFile":"Selecciona un fitxer","composer.filePicker.selectFiles":"Selecciona fitxers","composer.followerTooltip":"Per continuar, torna a la finestra on va començar la conversa.","composer.footer.branchSwitch.checkoutError":"No s’ha pogut canviar la branca: {message}","composer.footer.branchSwitch.createAndCheckout":"Crea i revisa una branca nova…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Confirma els canvis per crear i revisar una branca nova","composer.footer.branchSwitch.createBranchError":"No s’ha pogut crear la branca: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nom de la branca","composer.footer.branchSwitch.createDialog.branchExistsError":"La branca ja existeix.","composer.footer.branchSwitch.createDialog.close":"Tanca","composer.footer.branchSwitch.createDialog.createAndCheckout":"Crea i revisa","composer.footer.branchSwitch.createDialog.placeholder":"branca nova","composer.footer.branchSwitch.createDialog.title":"Crea i revisa una branca","composer.footer.branchSwitch.createDialog.trailingSlashError":'El nom de la branca no pot acabar en "/".',"composer.footer.branchSwitch.tooltip":"Canvia de branca","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Confirma els canvis a {fileCount, plural, one {# fitxer} many {# fitxers} other {# fitxers}} per poder revisar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"canvis a {fileCount, plural, one {# fitxer} many {# fitxers} other {# fitxers}} per revisar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Cancel·la","composer.footer.branchSwitch.uncommittedDialog.commit":"Confirma i canvia de branca…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Els canvis als fitxers següents se sobreescriurien en fer la revisió:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Confirma els canvis per continuar","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"la branca seleccionada","composer.footer.branchSwitch.uncommittedDialog.title":"Confirma els canvis per canviar de branca","composer.footer.branchSwitch.uncommittedSummaryPrefix":"No confirmat: {fileCount, plural, one {# fitxer} many {# fitxers} other {# fitxers}}","composer.forkSlashCommand.description":"Bifurca aquest fil cap al repositori local o crea’n un de nou en un arbre de treball.","composer.forkSlashCommand.option.local.description":"Continua en un fil local nou","composer.forkSlashCommand.option.local.title":"Bifurca cap al repositori local","composer.forkSlashCommand.option.worktree.description":"Continua en un arbre de treball nou","composer.forkSlashCommand.option.worktree.title":"Bifurca en un arbre de treball nou","composer.forkSlashCommand.title":"Bifurca","composer.ideContextIndicator":"Context de l’IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Inclou context de l’IDE","composer.ideContextIndicator.tooltipToggle":"per canviar","composer.ideContextSlashCommand.disableDescription":"Desactiva el context de l’IDE","composer.ideContextSlashCommand.enableDescription":"Inclou la selecció actual, els fitxers oberts i altre context del teu IDE","composer.ideContextSlashCommand.title":"Context de l’IDE","composer.imageInputsUnsupported":"Aquest model no permet entrades d’imatges. Prova un model diferent.","composer.imageUploadFailed":"No s’ha pogut pujar la imatge","composer.includeIdeContextDropdown":"Inclou un entorn de desenvolupament integral","composer.includeIdeContextDropdown.ariaLabel":"Inclou un entorn de desenvolupament integral","composer.localCwdDropdown.addWorkspaceRoot":"Afegeix un projecte nou","composer.localCwdDropdown.noActiveRoot":"Selecciona el teu projecte","composer.localCwdDropdown.noResults":"No s’ha trobat cap carpeta","composer.localCwdDropdown.title":"Selecciona el teu projecte","composer.localTaskError":"Error en iniciar la conversa","composer.mcpSlashCommand.description":"Mostra l’estat del servidor MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"No està autentificat","composer.mcpStatus.authOauth":"Autentificat (OAuth)","composer.mcpStatus.authToken":"Autentificat (clau d’API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Tanca","composer.mcpStatus.disabled":"Inhabilitades","composer.mcpStatus.emptyLabel":"Servidors:","composer.mcpStatus.emptyValue":"No hi ha servidors MCP configurats","composer.mcpStatus.enabled":"Habilitat","composer.mcpStatus.errorLabel":"Estat:","composer.mcpStatus.errorValue":"No s’ha pogut carregar l’estat del MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Canvia de mode","composer.mode.agentMode.custom":"Personalitzat","composer.mode.agentMode.custom.dropdownLabel":"Personalitzat","composer.mode.agentMode.custom.option":"Personalitzat (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personalitzat (config.toml)","composer.mode.agentMode.customInfo.cancel":"Cancel·la","composer.mode.agentMode.customInfo.cli":"Pots canviar la configuració al CLI o modificant directament el fitxer.","composer.mode.agentMode.customInfo.confirm":"Utilitza el mode personalitzat","composer.mode.agentMode.customInfo.description":"El mode personalitzat aplica les polítiques d’aprovació i entorn aïllat definides al teu fitxer<link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Més informació sobre com configurar les polítiques d’aprovació i entorn aïllat a la<link>documentació de l’entorn d’execució</link>.","composer.mode.agentMode.customInfo.refresh":"Els canvis s’aplicaran el proper cop que s’executi l’agent.","composer.mode.agentMode.customInfo.title":"Com funciona el mode personalitzat","composer.mode.agentMode.fullAccess":"Agent (accés complet)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (accés complet)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (accés complet)","composer.mode.agentMode.fullAccessConfirm.caution":"Ves amb compte quan habilitis l’accés complet, ja que augmenta en gran mesura el risc de pèrdua de dades, filtració o comportament inesperat.","composer.mode.agentMode.fullAccessConfirm.confirm":"Sí, vull continuar igualment","composer.mode.agentMode.fullAccessConfirm.description":"Quan Codex funciona amb accés complet, pot modificar qualsevol fitxer del teu ordinador i executar ordres a la xarxa sense la teva aprovació.","composer.mode.agentMode.fullAccessConfirm.goBack":"Cancel·la","composer.mode.agentMode.fullAccessConfirm.title":"Vols permetre l’accés complet?","composer.mode.agentMode.readOnly":"Xat","composer.mode.agentMode.readOnly.dropdownLabel":"Xat","composer.mode.agentMode.readOnly.optionLabel":"Xat","composer.mode.agentMode.tooltip":"Canvia de mode","composer.mode.agentMode.tooltip.auto":"Llegeix i modifica fitxers i executa ordres.","composer.mode.agentMode.tooltip.custom":"Utilitza les polítiques d’aprovació i entorn aïllat més actualitzades definides a config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex pot modificar fitxers fora del projecte i executar ordres amb accés a la xarxa. Ves amb compte en utilitzar-lo.","composer.mode.agentMode.tooltip.readOnly":"Cal aprovació per modificar fitxers i executar ordres.","composer.mode.cloud.tooltip":"Treballa en un entorn al núvol","composer.mode.contactAdmin":"Per obtenir més accés, contacta amb el teu administrador","composer.mode.local":"Local","composer.mode.local.learnMore":"Més informació","composer.mode.local.model.custom":"Personalitzat","composer.mode.local.model.loadingModel":"S’està carregant el model","composer.mode.local.model.selecrReasoningEffort":"Selecciona el raonament","composer.mode.local.model.selectModel":"Selecciona el model","composer.mode.local.model.tooltip":"Tria un model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Alt","composer.mode.local.reasoning.low.label":"Baix","composer.mode.local.reasoning.medium.label":"Mitjà","composer.mode.local.reasoning.minimal.label":"Mínim","composer.mode.local.reasoning.none.label":"Cap","composer.mode.local.reasoning.xhigh.label":"Molt alt","composer.mode.localRemoteWhereRun":"Selecciona on vols executar la tasca","composer.mode.newTask.header":"Continua a","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Límits restants","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Límit de {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {límit setmanal} many {límit de {weeks} setmanes} other {límit de {weeks} setmanes}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Cada setmana} many {Cada {weeks} setmanes} other {Cada {weeks} setmanes}}","composer.mode.remote.connectToCloud":"Connecta Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Configura un entorn a través de Codex web per habilitar l’enviament de tasques al núvol","composer.mode.remote.selectEnvironment":"Selecciona un entorn","composer.mode.remote.sendToCloud":"Envia al núvol","composer.mode.remote.setupViaWeb":"Configura un entorn a través de Codex web","composer.mode.runInCloud":"Núvol","composer.mode.runInCloudWithEnvironment":"Núvol · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Treballa en un entorn al núvol","composer.mode.segmentedToggle.local.tooltip":"Treballa en el teu projecte local","composer.mode.segmentedToggle.worktree.tooltip":"Treballa en un arbre de treball paral·lel","composer.mode.upgradeToPlus":"Actualitza a Plus","composer.mode.upgradeToPro":"Actualitza a Pro","composer.mode.workLocally":"Projecte local","composer.mode.workLocally.currentBranchFallback":"la teva branca","composer.mode.workLocally.tooltip":"Treballa a {branchName}","composer.mode.worktree":"Arbre de treball nou","composer.mode.worktree.submoduleWarning":"Aquest repositori té submòduls de git. La creació de l’arbre de treball pot fallar","composer.mode.worktree.tooltip":"Crea una còpia del teu projecte local per treballar-hi en paral·lel","composer.mode.worktreeSegment":"Arbre de treball","composer.modelChangeDuringConversationWarning.toast":"Canviar de model enmig d’una conversa en pot degradar el rendiment.","composer.newChat.heading.browser":"Què programem ara?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex utilitza el permís definit a config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex té accés complet al teu ordinador (risc elevat)","composer.permissionsDropdown.custom.label":"Personalitzat (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personalitzat (config.toml)","composer.permissionsDropdown.default.label":"Permisos predeterminats","composer.permissionsDropdown.default.optionLabel":"Permisos predeterminats","composer.permissionsDropdown.default.tooltip":"Codex executa les ordres automàticament en un entorn de proves","composer.permissionsDropdown.disabled.requirements":"Els permisos estan bloquejats per requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"L’accés complet està deshabilitat per requirements.toml","composer.permissionsDropdown.fullAccess.label":"Accés complet","composer.permissionsDropdown.fullAccess.optionLabel":"Accés complet","composer.permissionsDropdown.trigger.tooltip":"Canvia els permisos","composer.personalitySlashCommand.description.friendly":"Amable, col·laboratiu i útil","composer.personalitySlashCommand.description.pragmatic":"Concís, centrat en la feina i directe","composer.personalitySlashCommand.label.friendly":"Amistós","composer.personalitySlashCommand.label.pragmatic":"Pragmàtic","composer.personalitySlashCommand.notApplicableSuffix":"(No s’aplica al model actual)","composer.personalitySlashCommand.title":"Personalitat","composer.placeholder.cloudFollowUp.directFollowUp":"Seguiment d’aquesta tasca al núvol","composer.placeholder.cloudFollowUp.local":"Crea una tasca local nova que faci referència a aquesta tasca al núvol","composer.placeholder.cloudFollowUp.workingTree":"Crea una tasca al núvol nova que inclogui el codi actual i faci referència a aquesta tasca","composer.placeholder.localFollowUp.cloud":"Seguiment en una nova tasca al núvol","composer.placeholder.localFollowUp.locally":"Demana canvis de seguiment","composer.placeholder.newTask.cloud":"Demana a Codex que faci alguna cosa al núvol","composer.placeholder.newTask.doAnything":"Demana a Codex que faci alguna cosa","composer.placeholder.newTask.locally":"Demana qualsevol cosa a Codex: @ per afegir fitxers, / per a ordres","composer.planModeDropdown":"Mode del pla","composer.planModeDropdown.ariaLabel":"Mode del pla","composer.planModeIndicator":"Pla","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Crea un pla amb Codex","composer.planModeIndicator.tooltipToggle":"per canviar","composer.planSlashCommand.disableDescription":"Desactiva el mode del pla","composer.planSlashCommand.enableDescription":"Activa el mode del pla","composer.planSlashCommand.title":"Mode del pla","composer.priorContext.label":"Context anterior","composer.priorContext.removeAriaLabel":"Elimina el context anterior","composer.queuedMessage.delete":"Suprimeix el missatge en cua","composer.queuedMessage.edit":"Modifica el missatge","composer.queuedMessage.more":"Accions del missatge en cua","composer.queuedMessage.sendNow":"Orienta","composer.queuedMessage.sendNowTooltip":"Envia’l ara sense interrompre la feina","composer.queuedMessage.turnOff":"Desactiva la cua","composer.reasoningEffort.local.reasoning.tooltip":"Selecciona l’esforç de raonament","composer.remote.branchStartingPoint":"Des de quina branca hauria d’iniciar-se aquesta tasca?","composer.remote.branchesSectionHeading":"Branques","composer.remote.currentEditsSuffix.followUp":"Crea una nova tasca que faci referència a aquesta tasca al núvol.","composer.remote.currentEditsSuffix.useLocal":"amb canvis de codi locals","composer.remote.directFollowUp":"No utilitzis els canvis locals","composer.remote.errorLoadingBranches":"Error en carregar les seccions","composer.remote.fromBranch":"De {branch}","composer.remote.fromCurrentBranch":"De {branch} (actual)","composer.remote.loadingMoreBranches":"S’està carregant…","composer.remote.localFileStateHeading":"Estat del fitxer local","composer.remote.localWorkingTree":"Utilitza els canvis locals","composer.remote.startingPoint":"Des de quin codi hauria d’iniciar-se aquesta tasca?","composer.reviewMode.branches.error":"No s’han pogut carregar les branques","composer.reviewMode.branches.retry":"Torna-ho a provar","composer.reviewMode.gitRoot.error":"No s’ha trobat l’arrel de Git","composer.reviewMode.option.baseBranch.simple":"Revisa amb una branca base","composer.reviewMode.option.unstaged.simple":"Revisa els canvis no confirmats","composer.reviewMode.quickReviewError":"No s’ha pogut iniciar la revisió del codi.","composer.reviewMode.title":"Revisió del codi","composer.sandboxButton.unlock.disabled.tooltip":"L’accés complet està deshabilitat per requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex pot utilitzar un entorn de proves experimental a Windows per limitar l’accés al sistema de fitxers i a la xarxa. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Vols habilitar l’entorn de proves de Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Utilitza només lectura","composer.searchEnvironments":"Cerca entorns","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"S’estan carregant les habilitats…","composer.skillMentionList.noResults":"No s’han trobat habilitats","composer.slashCommands.cloudEnvironment.title":"Entorn al núvol","composer.slashCommands.dialogLabel":"Menú d’ordres amb /","composer.slashCommands.dialogTitle":"Ordres amb /","composer.slashCommands.disabledTooltip":"Inicia una conversa nova per utilitzar les ordres amb /","composer.slashCommands.inputPlaceholder":"Cerca","composer.slashCommands.noResults":"No hi ha ordres","composer.slashCommands.skillsGroup":"Habilitats","composer.slashCommands.tooltip":"Cerca ordres amb /","composer.status.close":"Tanca","composer.statusPlain.alertLabel":"Alerta:","composer.statusPlain.alertValue":"Queda un {remaining} % a {window}","composer.statusPlain.contextLabel":"Context:","composer.statusPlain.contextTotal":"{count}.000","composer.statusPlain.contextValueMetadata":"({used} utilitzat / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % restant","composer.statusPlain.heading":"Estat","composer.statusPlain.modelRateLimitSectionLabel":"Límit de {modelName}:","composer.statusPlain.rateLimitDays":"Límit de {count} dies","composer.statusPlain.rateLimitFallbackLabel":"Límit de la tarifa:","composer.statusPlain.rateLimitHours":"Límit de {count} hores","composer.statusPlain.rateLimitLabelBase":"Límit de la tarifa","composer.statusPlain.rateLimitMinutes":"Límit de {count} minuts","composer.statusPlain.rateLimitPercent":"{remaining} % restant","composer.statusPlain.rateLimitReset":"es restableix a les {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"l’hora de restabliment no està disponible","composer.statusPlain.rateLimitUnavailable":"No disponible","composer.statusPlain.sessionCopiedAriaLabel":"S’ha copiat l’identificador de la sessió","composer.statusPlain.sessionCopiedTooltip":"S’ha copiat l’identificador","composer.statusPlain.sessionCopyAriaLabel":"Copia l’identificador de la sessió","composer.statusPlain.sessionCopyTooltip":"Copia l’identificador","composer.statusPlain.sessionLabel":"Sessió:","composer.statusSlashCommand.description":"Mostra l’identificador del fil, l’ús del context i els límits de la tarifa","composer.statusSlashCommand.title":"Estat","composer.submit.blockedDialogOk":"D’acord","composer.submit.blockedDialogTitle":"No s’ha pogut enviar el missatge","composer.submit.emptyMessage":"Escriu un missatge per començar","composer.submit.imageInputsUnsupported":"Elimina les imatges o canvia de model per enviar aquest missatge.","composer.submit.loadingLocalConfig":"S’està carregant…","composer.submit.missingCloudConfig":"Has de triar un entorn al núvol","composer.submit.missingCloudTurn":"No es pot fer un seguiment d’aquesta tasca","composer.submit.noWorkspace":"Afegeix un projecte per utilitzar-lo a Codex","composer.submit.waitForImageUploads":"S’estan pujant les imatges…","composer.submitButtonTooltip.send":"Envia","composer.submitButtonTooltip.stop":"Atura","composer.worktreeEnvironment.create":"Crea un entorn local","composer.worktreeEnvironment.default":"Entorn predeterminat","composer.worktreeEnvironment.error":"Error en carregar els entorns","composer.worktreeEnvironment.loading":"S’estan carregant els entorns…","composer.worktreeEnvironment.title":"Entorn local","composer.worktreeEnvironment.tooltip":"Selecciona un entorn local","composer.worktreeSetupFailed":"La configuració de l’arbre de treball ha fallat. Consulta .codex/environments per veure un script de configuració.","compoundButton.secondaryAction":"Acció secundària","copyButton.copied":"Copiat","copyButton.copiedAriaLabel":"Copiat","copyButton.copy":"Copia","copyButton.copyAriaLabel":"Copia","copyButton.copyCode":"Copia el codi","diff.actionButton.revertFile":"Reverteix el fitxer","diff.actionButton.revertHunk":"Reverteix","diff.actionButton.revertSection":"Reverteix-ho tot","diff.actionButton.revertSectionLabel":"Reverteix-ho tot","diff.actionButton.stageFile":"Desa el fitxer a la pila","diff.actionButton.stageHunk":"Desa-ho a la pila","diff.actionButton.stageSection":"Desa-ho tot a la pila","diff.actionButton.stageSectionLabel":"Desa-ho tot a la pila","diff.actionButton.unstageFile":"Treu el fitxer de la pila","diff.actionButton.unstageHunk":"Treu de la pila","diff.actionButton.unstageSection":"Treu-ho tot de la pila","diff.actionButton.unstageSectionLabel":"Treu-ho tot de la pila","diff.fileHeader.toggle":"Commuta el diff del fitxer","electron.onboarding.login.apikey.cancel":"Cancel·la","electron.onboarding.login.apikey.continue":"Continua","electron.onboarding.login.apikey.label":"Clau d’API d’OpenAI","electron.onboarding.login.apikey.open":"Introdueix la clau d’API","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"Cancel·la l’inici de sessió","electron.onboarding.login.chatgpt.continue":"Continua amb ChatGPT","electron.onboarding.login.devbox":"Connecta a un SSH remot","electron.onboarding.login.error":"Error d’inici de sessió: {rawMessage}","electron.onboarding.login.snake.start":"Juga al Snake","electron.onboarding.login.sshConfig.cancel":"Cancel·la","electron.onboarding.login.sshConfig.continue":"Continua","electron.onboarding.login.sshConfig.hostnameLabel":"Nom de l’amfitrió SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"La millor manera de crear amb agents","electron.onboarding.login.title":"Et donem la benvinguda a Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continua","electron.onboarding.welcome.doubleLimits.description":"Per celebrar el llançament de l’app de Codex, disposes del doble de límits fins al 2 d’abril.","electron.onboarding.welcome.freego.description":"Codex s’inclou de franc en el teu pla fins al 2 de març; comencem a crear plegats!","electron.onboarding.welcome.new.title.anon":"Et donem la benvinguda!","electron.onboarding.workspace.continue":"Continua","electron.onboarding.workspace.empty":"Afegeix un projecte per continuar.","electron.onboarding.workspace.listLabel":"Projectes disponibles","electron.onboarding.workspace.loading":"Carregant els projectes…","electron.onboarding.workspace.openFolder":"Afegeix un projecte","electron.onboarding.workspace.selectAll":"Selecciona-ho tot","electron.onboarding.workspace.skip":"Omet","electron.onboarding.workspace.skip.error":"No s’ha pogut crear un projecte nou: {message}","electron.onboarding.workspace.skip.error.unknown":"Error desconegut","electron.onboarding.workspace.skipping":"S’està creant un projecte nou…","electron.onboarding.workspace.subtitle":"Codex podrà modificar fitxers i executar ordres a les carpetes seleccionades.","electron.onboarding.workspace.title":"Selecciona un projecte","errorPage.list.checkSettings":"Prova d’actualitzar la configuració d’IDE","errorPage.list.configToml":"Consulta config.toml per si hi ha un error de configuració","errorPage.list.downloadExtension":"Prova de baixar una versió diferent de l’extensió","errorPage.list.runInWsl":"Comprova la configuració per inhabilitar el funcionament a WSL si trobes problemes de compatibilitat","execApprovalRequest.menu.runAlways":"Sí, i no ho tornis a preguntar en aquesta sessió","execApprovalRequest.menu.runAlwaysWithAmendment":"Sí, i no tornis a demanar ordres que comencin amb {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Sí, i no tornis a demanar ordres que comencin amb","execApprovalRequest.menu.runOnce":"Sí","execApprovalRequest.prompt":"Vols executar aquesta ordre?","execApprovalRequest.reject":"No","execFooter.exitCode":"Codi de sortida {code}","execFooter.exitCode.unknown":"desconegut","execFooter.success":"Fet","feedback.dialog.category.badResult":"Mal resultat","feedback.dialog.category.bug":"Error","feedback.dialog.category.goodResult":"Bon resultat","feedback.dialog.category.other":"Altres","feedback.dialog.descriptionPlaceholder":"Descriu el problema aquí","feedback.dialog.dismiss":"Ignora","feedback.dialog.includeLogsLabel":"Inclou els registres de sessió de Codex actuals","feedback.dialog.submit":"Envia","feedback.dialog.submitError":"No hem pogut enviar els teus comentaris. Torna-ho a provar en un altre moment.","feedback.dialog.title":"Comentaris","feedback.dialog.uploadedMessage.existingIssue":"incidència oberta pendent","feedback.dialog.uploadedMessage.openIssue":"obre una incidència de GitHub","feedback.dialog.uploadedMessage.withThread":"S’ha pujat el comentari. Si el problema continua, {openIssueLink} o esmenta l’identificador del fil a {existingIssueLink}:","feedback.dialog.uploadedTitle":"S’ha pujat el comentari","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Retira {filename}","header.back":"Enrere","header.recentChats":"Tasques","header.recentTasks.seeAll":"Mostra-ho tot ({total})","home.header.getPlus":"Obtén Plus","home.hero.letsBuild":"Comencem","homePage.mainContent":"Contingut principal","imageAttachment.defaultName":"imatge","imageAttachment.preview.close":"Tanca la vista prèvia de la imatge","imageAttachment.removeAriaLabel":"Retira {filename}","implementPlanRequest.option.implement":"Sí, implementa aquest pla","implementPlanRequest.prompt":"Vols implementar aquest pla?","inbox.archived.deleteError":"No s’ha pogut suprimir l’execució arxivada","inbox.archived.deleteRun":"Suprimeix l’execució arxivada","inbox.archived.deleteSuccess":"S’ha suprimit el fil arxivat. El pots veure a <settingsLink>Fils arxivats</settingsLink>.","inbox.archived.inlineLabel.auto":"Aquest fil s’ha arxivat automàticament. <learnMoreLink>Més informació</learnMoreLink>","inbox.archived.inlineLabel.manual":"Aquest fil s’ha arxivat.","inbox.archived.noMessageFound":"No s’ha trobat cap missatge","inbox.automations.createError":"No s’ha pogut crear una automatització","inbox.automations.deleteConfirm.cancel":"Cancel·la","inbox.automations.deleteConfirm.confirm":"Suprimir l’automatització","inbox.automations.deleteConfirm.description":"Això suprimirà l’automatització de manera permanent i aturarà qualsevol execució futura.","inbox.automations.deleteConfirm.title":"Vols suprimir {name}?","inbox.automations.deleteError":"No s’ha pogut suprimir l’automatització","inbox.automations.editTooltip":"Modifica l’automatització","inbox.automations.inProgress":"En curs","inbox.automations.new":"Nou","inbox.automations.newToolbar":"Nova automatització","inbox.automations.pauseTooltip":"Pausa l’automatització","inbox.automations.resumeTooltip":"Reprèn l’automatització","inbox.automations.startingNow":"Iniciant ara","inbox.automations.startsIn":"Comença d’aquí a {startTime}","inbox.automations.status.active":"Actiu","inbox.automations.status.paused":"Pausades","inbox.automations.status.runs":"{count} execucions","inbox.automations.status.started":"Iniciada el {date}","inbox.automations.updateError":"No s’ha pogut actualitzar l’automatització","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tots","inbox.filter.ariaLabel":"Filtra els elements de la safata d’entrada","inbox.filter.unread":"No llegits","inbox.list.archived":"Arxivades","inbox.list.inProgress":"En curs","inbox.list.recent":"Completades","inbox.list.upNext":"Programades","inbox.mode.automations":"Automatitzacions","inbox.mode.automations.beta":"Beta","inbox.noDescription":"No s’ha proporcionat cap descripció","inbox.openThread":"Obre el fil","inbox.rightPanel.emptySubtitle":"Automatitza la feina configurant tasques programades","inbox.rightPanel.emptySubtitle.learnMore":"Automatitza la feina configurant fils programats. <link>Més informació</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatització activa} many {# automatitzacions actives} other {# automatitzacions actives}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"No hi ha automatitzacions no llegides","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatització no llegida} many {# automatitzacions no llegides} other {# automatitzacions no llegides}}","inbox.rightPanel.emptyTitle":"No s’ha seleccionat cap element","inbox.rightPanel.noThread":"No hi ha fils per a aquest element","inbox.rightPanel.quickStart.header":"Comença amb una plantilla","inbox.untitled":"Elements de la safata d’entrada sense títol","loadingPage.documentationLink":"documentació","loadingPage.errorDescription":"Codex s’ha bloquejat amb l’error següent:","loadingPage.errorDescription.documentation":'Fes clic a "Torna a carregar" per reiniciar l’extensió de Codex o visita la nostra {documentationLink} si necessites més ajuda.',"loadingPage.errorSignal":"Coses que pots provar:","loadingPage.errorTitle":"S’ha produït un error","loadingPage.openConfigToml":"Obre Config.toml","loadingPage.reload":"Torna a carregar","localConversation.contextCompacted":"El context s’ha compactat automàticament","localConversation.contextCompacting":"El context s’està compactant automàticament","localConversation.forkedFromConversation":"Bifurcat de {threadTitle}","localConversation.merge.autoResolve.failed":"Ha fallat la sol·licitud de resolució automàtica: {error}","localConversation.merge.autoResolve.sent":"S’ha enviat la sol·licitud de resolució automàtica","localConversation.merge.autoResolveMerge.missingConversation":"No s’ha pogut fer la resolució automàtica sense una conversa activa.","localConversation.merge.autoResolveMerge.request":"Resol automàticament els conflictes de fusió","localConversation.modelChanged":"Model canviat de {fromModel} a {toModel}.","localConversation.modelChanged.warning.line1":"Canviar de model enmig d’una conversa en pot degradar el rendiment.","localConversation.modelChanged.warning.line2":"El context es pot compactar automàticament.","localConversation.moveThread.createBranch.label":"Crea una branca","localConversation.moveToLocal.disabled.loading":"S’està carregant…","localConversation.moveToLocal.modal.continue":"Continua","localConversation.moveToLocal.modal.destinationLabel":"Mou-lo a","localConversation.moveToLocal.modal.retry":"Torna-ho a provar","localConversation.moveToWorktree.modal.back":"Enrere","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"La branca ja existeix.","localConversation.moveToWorktree.modal.branchesError":"No s’han pogut carregar les branques","localConversation.moveToWorktree.modal.branchesLoading":"S’estan carregant les branques…","localConversation.moveToWorktree.modal.branchesRetry":"Torna-ho a provar","localConversation.moveToWorktree.modal.continue":"Continua","localConversation.moveToWorktree.modal.retry":"Torna-ho a provar","localConversation.moveToWorktree.modal.trailingSlashError":'El nom de la branca no pot acabar en "/".',"localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"branca nova","localConversation.personalityChanged":"S’ha canviat a la personalitat {personality}","localConversation.planSummary.collapse":"Replega el resum del pla","localConversation.planSummary.collapseTooltip":"Redueix","localConversation.planSummary.download":"Baixa el pla","localConversation.planSummary.expand":"Amplia el resum del pla","localConversation.planSummary.expandTooltip":"Amplia","localConversation.planSummary.openInNewWindow":"Obre","localConversation.planSummary.openInNewWindow.tooltip":"Obre en una finestra nova","localConversation.planSummary.title":"Pla","localConversation.planSummary.titleWriting":"Pla d’escriptura","localConversation.planSummary.viewPlan":"Amplia el pla","localConversation.remoteTaskCreated":"Has creat una {taskLink} a Codex Cloud","localConversation.remoteTaskCreated.task":"tasca","localConversation.scrollToBottomButton":"Desplaça’t al final","localConversation.sync.buttonLabel":"Traspàs a local","localConversation.sync.buttonLabel.tooltip":"Transfereix els canvis entre aquest arbre de treball i la teva còpia local.","localConversation.sync.modal.loading.title":"S’estan traspassant els canvis…","localConversation.sync.modal.noChanges":"No hi ha canvis","localConversation.syncSetup.branchAriaLabel":"Nom de la branca","localConversation.syncSetup.branchName":"Nom de la branca","localConversation.syncSetup.branchPlaceholder.existing":"Selecciona una branca existent","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"S’estan carregant les branques…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Ja s’ha revisat","localConversation.syncSetup.checkoutClean":"Actualment a {branchName}","localConversation.syncSetup.checkoutDirty":"Actualment a {branchName} amb canvis no confirmats","localConversation.syncSetup.checkoutError":"No s’ha pogut revisar la branca: {message}","localConversation.syncSetup.checkoutLabel":"Revisa localment ara","localConversation.syncSetup.checkoutOnLocal":"Traspàs a local","localConversation.syncSetup.checkoutPending":"S’està revisant l’estat local…","localConversation.syncSetup.checkoutUnavailable":"Espai de treball local no disponible","localConversation.syncSetup.checkoutUnknown":"Branca local no disponible","localConversation.syncSetup.continue":"Continua","localConversation.syncSetup.createBranchError":"No s’ha pogut establir la branca de traspàs: {message}","localConversation.syncSetup.error":"Alguna cosa no ha anat bé: {message}","localConversation.syncSetup.error.workingTreeMissing":"No s’ha pogut fer una instantània de l’arbre de treball. Torna a provar el traspàs.","localConversation.syncSetup.mode.ariaLabel":"Selecciona el mode de branca","localConversation.syncSetup.mode.existing":"Branca existent","localConversation.syncSetup.mode.new":"Branca nova","localConversation.syncSetup.noBranches":"No s’ha trobat cap branca","localConversation.syncSetup.overwriteError":"La branca s’ha creat, però no s’ha traspassat del tot. Traspassa-la manualment abans de revisar-la localment.","localConversation.syncSetup.setPrefix":"Estableix el prefix","localConversation.syncSetup.subtitle":"Prova i modifica els canvis de l’arbre de treball localment. <a>Més informació</a>","localConversation.syncSetup.success.checkedOut":"La branca s’ha creat i es revisa localment","localConversation.syncSetup.success.notCheckedOut":"Branca creada","localConversation.syncSetup.title":"Traspassa a una branca local","localConversation.syncWorktreeError.branchAriaLabel":"Nom de la branca","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Tria una branca de traspàs i torna a provar de carregar els canvis.","localConversation.syncWorktreeError.branchSetup.title":"Actualitza la branca","localConversation.syncWorktreeError.branchUpdate.cta":"Actualitza i torna-ho a provar","localConversation.syncWorktreeError.branchUpdate.error":"No s’ha pogut actualitzar la branca: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Alguna cosa no ha anat bé: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"La branca no s’ha revisat en cap arbre de treball.","localConversation.syncWorktreeV2.applyUncommitted":"Aplica","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Has de revisar la branca localment per aplicar els canvis no confirmats","localConversation.syncWorktreeV2.branches.empty":"No s’ha trobat cap branca","localConversation.syncWorktreeV2.branches.loading":"S’estan carregant les branques…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Canvia la branca de traspàs","localConversation.syncWorktreeV2.changeBranch.error":"No s’ha pogut canviar la branca de traspàs: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Error en aplicar","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Error en sobreescriure l’arbre de treball","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Error en sobreescriure localment","localConversation.syncWorktreeV2.commandError.back":"Enrere","localConversation.syncWorktreeV2.commandError.body":"Una ordre de git ha fallat durant el traspàs. Revisa el resultat i torna-ho a provar.","localConversation.syncWorktreeV2.commandError.retry":"Torna-ho a provar","localConversation.syncWorktreeV2.description":"Traspassa els canvis entre local i aquest arbre de treball <a>Més informació</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Selecciona la direcció del traspàs","localConversation.syncWorktreeV2.error.generic":"Alguna cosa no ha anat bé durant el traspàs. Torna-ho a provar.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"Calculant els canvis","localConversation.syncWorktreeV2.noChanges.summary":"No hi ha canvis","localConversation.syncWorktreeV2.overwrite.local":"Sobreescriu localment","localConversation.syncWorktreeV2.overwrite.worktree":"Sobreescriu l’arbre de treball","localConversation.syncWorktreeV2.partial.action.applyFailed":"No s’han pogut aplicar els canvis","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"No s’han pogut sobreescriure els canvis locals","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"No s’han pogut sobreescriure els canvis de l’arbre de treball","localConversation.syncWorktreeV2.partial.appliedLabel":"Aplicats","localConversation.syncWorktreeV2.partial.back":"Enrere","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resol els conflictes i torna-ho a provar.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflictes","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fitxer} many {# fitxers} other {# fitxers}}","localConversation.syncWorktreeV2.partial.retry":"Torna-ho a provar","localConversation.syncWorktreeV2.partial.skippedLabel":"Omès","localConversation.syncWorktreeV2.stateFailed.generic":"Alguna cosa no ha anat bé en recuperar els canvis de l’arbre de treball que calia traspassar. Torna-ho a provar un altre cop.","localConversation.syncWorktreeV2.stateFailed.title":"Error en carregar els canvis de l’arbre de treball","localConversation.syncWorktreeV2.statusError.diffUnknown":"Error en carregar els canvis de l’arbre de treball.","localConversation.syncWorktreeV2.statusError.retry":"Torna-ho a provar","localConversation.syncWorktreeV2.statusError.title":"No s’han pogut carregar els canvis de la branca local","localConversation.syncWorktreeV2.statusError.unknown":"L’estat de la branca no està disponible actualment. Torna-ho a provar.","localConversation.syncWorktreeV2.success.apply":"Els canvis s’han aplicat correctament","localConversation.syncWorktreeV2.success.overwrite":"El traspàs s’ha completat correctament","localConversation.syncWorktreeV2.title":"Traspassa els canvis","localConversation.syncWorktreeV2.worktreeLabel":"Arbre de treball","localConversation.userInputRequest.inProgress":"Formulant {count, plural, one {pregunta} many {preguntes} other {preguntes}}","localConversation.userInputRequest.noAnswer":"No s’ha proporcionat cap resposta","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"S’ha/han formulat","localConversation.userInputRequest.summary.count":"{count, plural, one {# pregunta} many {# preguntes} other {# preguntes}}","localConversation.workedFor":"Ha funcionat durant {time}","localConversation.worktreeBranchSetup.action.create":"Crea","localConversation.worktreeBranchSetup.branchAriaLabel":"Nom de la branca","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Crea una nova secció","localConversation.worktreeBranchSetup.checkoutDisabled":"Aquesta branca ja s’ha revisat a {location}","localConversation.worktreeBranchSetup.checkoutError":"No s’ha pogut revisar la branca: {message}","localConversation.worktreeBranchSetup.createBranchError":"No s’ha pogut establir la branca: {message}","localConversation.worktreeBranchSetup.error":"Alguna cosa no ha anat bé: {message}","localConversation.worktreeBranchSetup.subtitle":"Crea una branca per confirmar els canvis, enviar-los i crear una sol·licitud de canvis des d’aquest arbre de treball. <a>Més informació</a>","localConversation.worktreeBranchSetup.title":"Treballa aquí","localConversationPage.addWorktreeToSidebar.tooltip":"Desa com un projecte per poder començar fils nous des d’aquest arbre de treball","localConversationPage.addWorktreeToSidebarError":"No s’ha pogut afegir el projecte","localConversationPage.commitAndCreatePrModal.errorTitle":"La confirmació i creació de la sol·licitud de canvis ha fallat","localConversationPage.commitAndCreatePrModal.successTitle":"La sol·licitud de canvis s’ha confirmat i creat","localConversationPage.commitAndPushModal.errorTitle":"La confirmació i l’enviament han fallat","localConversationPage.commitAndPushModal.successTitle":"Els canvis s’han confirmat i enviat","localConversationPage.commitCreatePr.open":"Obre la sol·licitud de canvis","localConversationPage.commitCreatePr.successTitle":"La sol·licitud de canvis s’ha creat amb els últims canvis","localConversationPage.createBranchButtonLabel":"Crea una branca aquí","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Crea una sol·licitud de canvis (PR)","localConversationPage.createPrModal.createDescription":"Obre una sol·licitud de canvis amb els darrers canvis.","localConversationPage.createPrModal.errorTitle":"La sol·licitud de canvis ha fallat","localConversationPage.createPrModal.headBranch":"Capçalera","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Obre la sol·licitud de canvis","localConversationPage.createPrModal.successTitle":"S’ha creat una sol·licitud de canvis","localConversationPage.createPrModal.title":"Crea una sol·licitud de canvis","localConversationPage.createPrModal.viewDescription":"Ja existeix una sol·licitud de canvis per a aquesta branca.","localConversationPage.createPrModal.viewTitle":"La sol·licitud de canvis està a punt","localConversationPage.createPullRequestAuthGh":"Autentica GitHub CLI: executa `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informació de la branca no disponible","localConversationPage.createPullRequestButtonLabel":"Crea una sol·licitud de canvis (PR)","localConversationPage.createPullRequestButtonLabel.loading":"S’està creant la sol·licitud de canvis (PR)…","localConversationPage.createPullRequestDefaultBranchMissing":"Informació de la branca predeterminada no disponible","localConversationPage.createPullRequestError":"No s’ha pogut crear una sol·licitud de canvis","localConversationPage.createPullRequestExistingPullRequest":"Ja existeix una sol·licitud de canvis per a aquesta branca","localConversationPage.createPullRequestGhStatusMissing":"S’està carregant l’estat de GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Instal·la GitHub CLI (gh) per crear una petició de canvis","localConversationPage.createPullRequestNoRepo":"No s’ha trobat cap repositori de git","localConversationPage.createPullRequestPushStatusMissing":"S’està carregant l’estat de l’enviament…","localConversationPage.createPullRequestSetUpstream":"Envia aquesta branca abans de crear una petició de canvis","localConversationPage.createPullRequestSuccessToast":"S’ha creat una sol·licitud de canvis","localConversationPage.createPullRequestSwitchBranch":"Comprova la branca de la funcionalitat abans de crear una petició de canvis","localConversationPage.error.render":"Error en renderitzar la conversa local","localConversationPage.error.toast":"Conversa no trobada","localConversationPage.forcePushError":"Ha fallat l’enviament forçat","localConversationPage.generatePullRequestMessageError":"No s’han pogut generar el títol ni el cos de la sol·licitud de canvis","localConversationPage.generatePullRequestMessageFailed":"No s’han pogut generar el títol ni el cos de la sol·licitud de canvis.","localConversationPage.gitActionResult.branch":"Branca","localConversationPage.gitActionResult.cancel":"Cancel·la","localConversationPage.gitActionResult.close":"Tanca","localConversationPage.gitActionResult.tryAgain":"Torna-ho a provar","localConversationPage.gitActions":"Accions de git","localConversationPage.newChat":"Xat nou","localConversationPage.openInTarget":"Obre a","localConversationPage.openPrimaryTarget":"Obre","localConversationPage.planItemsCompleted":"{completedItems} de {totalItems, plural, one {# tasca completada} many {# tasques completades} other {# tasques completades}}","localConversationPage.pushAuthError":"L’enviament ha fallat: l’autenticació és obligatòria","localConversationPage.pushBranchMissing":"Informació de la branca no disponible","localConversationPage.pushButtonLabel":"Inserció","localConversationPage.pushButtonLabel.loading":"S’està enviant…","localConversationPage.pushError":"No s’han pogut enviar els canvis","localConversationPage.pushModal.branchLabel":"Branca","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Cancel·la","localConversationPage.pushModal.confirm":"Inserció","localConversationPage.pushModal.description":"Envia les darreres confirmacions al repositori remot.","localConversationPage.pushModal.errorTitle":"L’enviament ha fallat","localConversationPage.pushModal.forcePush":"Enviament forçat","localConversationPage.pushModal.successTitle":"Enviament complet","localConversationPage.pushModal.title":"Envia els canvis","localConversationPage.pushModal.tryAgain":"Torna-ho a provar","localConversationPage.pushNoUpstream":"Estableix una comunicació ascendent abans d’enviar aquesta branca","localConversationPage.pushNoUpstreamError":"L’enviament ha fallat: no s’ha configurat cap comunicació ascendent","localConversationPage.pushNothingToPush":"No hi ha cap confirmació per enviar","localConversationPage.pushRemoteChangedError":"L’enviament ha fallat: el control remot té confirmacions noves","localConversationPage.pushRemoteRejectedError":"El control remot ha rebutjat l’enviament","localConversationPage.pushStatusMissing":"S’està carregant l’estat de l’enviament…","localConversationPage.pushSuccessToast":"Canvis enviats","localConversationPage.viewPullRequestButtonLabel":"Mostra la sol·licitud de canvis (PR)","localConversationPage.viewPullRequestButtonLabel.loading":"S’està creant una sol·licitud de canvis…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fitxer} many {# fitxers} other {# fitxers}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# llista} many {# llistes} other {# llistes}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# cerca} many {# cerques} other {# cerques}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"S’està examinant","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"S’ha examinat","localConversationTurn.exploration.accordion.header.complete.withCounts":"S’ha examinat {counts}","localConversationTurnStory.showContent":"Mostra el contingut","localConversationTurnStory.streamContent":"Transmet el contingut","localConversationTurnStory.toggleReasoning":"Mostra el raonament","localTaskRow.archiveError":"No s’ha pogut arxivar la conversa","localTaskRow.resumeError":"No s’ha pogut reprendre la tasca","mermaidDiagram.ariaLabel":"Diagrama de sirena","mermaidDiagram.copySource":"Copia els diagrames sirena","mermaidDiagram.originalCode":"Codi font de sirena","notifications.permissions.description":"Mostra les alertes quan els permisos de notificació siguin obligatoris","notifications.permissions.label":"Habilita les notificacions de permisos","notifications.turnMode.always":"Sempre","notifications.turnMode.description":"Configura quan vols que Codex t’informi que ha acabat","notifications.turnMode.label":"Activa les notificacions de finalització","notifications.turnMode.off":"Mai","notifications.turnMode.unfocused":"Només quan no està en primer pla","patchApprovalRequest.approve":"Aprova","patchApprovalRequest.menu.allowAlways":"Sí, i no ho tornis a preguntar en aquesta sessió","patchApprovalRequest.menu.allowForSession":"Sí, i no ho tornis a preguntar en aquesta sessió","patchApprovalRequest.menu.allowOnce":"Sí","patchApprovalRequest.prompt":"Vols fer aquests canvis?","patchApprovalRequest.reject":"No","patchApprovalRequest.waitingForApproval":"S’està esperant l’aprovació per modificar els fitxers","pendingRequest.approvalExec.collapse":"Redueix","pendingRequest.approvalExec.expand":"Amplia","pendingRequestStory.toastAnswer":"Resposta: {answer}","pendingRequestStory.toastApprovalTitle":"Resposta d’aprovació","pendingRequestStory.toastFollowupPrompt":"Indicació: {prompt}","pendingRequestStory.toastFollowupTitle":"S’ha enviat el seguiment","pendingRequestStory.toastNoAnswers":"No s’ha proporcionat cap resposta","pendingRequestStory.toastQuestion":"Pregunta: {question}","pendingRequestStory.toastUnknownDecision":"Desconegut","pendingRequestStory.toastUserInputTitle":"Respostes enviades","quickAction.request.codeReview.branches.new":"Revisa els canvis a {from} amb {to}","quickAction.request.codeReview.uncommitted.new":"Revisa els meus canvis no confirmats","reasoningItem.thinking":"S’està pensant","reasoningItem.thought":"Pensament","reasoningItem.thoughtWithElapsed":"S’ha pensat durant {elapsed}","recentConversations.title":"Converses recents","recentTasks.worktreeInitFailedTitle":"Error en inicialitzar l’arbre de treball","recentTasks.worktreeSettingUpTitle":"S’està configurant l’arbre de treball","requestInputPanel.continue":"Continua","requestInputPanel.dismiss":"Ignora","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Escriu aquí","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"No, i explica a Codex què ha de fer diferent","requestInputPanel.selectedBadge":"Seleccionat","requestInputPanel.skip":"Omet","requestInputPanel.submit":"Envia","review.commit.ariaLabel.includeUnstaged":"Inclou els canvis trets de la pila","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"S’està confirmant…","review.commit.disabled.loadingDiff":"S’està carregant el diff…","review.commit.disabled.missingContext":"Afegeix context per generar un missatge de confirmació","review.commit.disabled.noChanges":"No hi ha canvis per confirmar","review.commit.disabled.noSelection":"Selecciona els canvis per confirmar","review.commit.disabled.unavailable":"La confirmació no està disponible en aquest moment","review.commit.error":"No s’han pogut confirmar els canvis","review.commit.form.changesToBeCommitted":"Canvis","review.commit.form.commitTo":"Branca","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continua","review.commit.form.title":"Confirma els canvis","review.commit.generate.emptyResponse":"No s’ha pogut generar un missatge de confirmació.","review.commit.generate.failed":"Error en generar un missatge de confirmació: {error}","review.commit.generate.missingPrompt":"Afegeix context per generar un missatge de confirmació.","review.commit.includeUnstaged":"Inclou els canvis trets de la pila","review.commit.loading.description":"Espera un moment, pot trigar una mica…","review.commit.loading.step.commit.done":"Canvis confirmats","review.commit.loading.step.commit.pending":"S’estan confirmant els canvis","review.commit.loading.step.createPr.done":"S’ha creat una sol·licitud de canvis","review.commit.loading.step.createPr.pending":"S’està creant una sol·licitud de canvis","review.commit.loading.step.push.done":"S’ha enviat a la branca {branch}","review.commit.loading.step.push.pending":"S’està enviant a la branca {branch}","review.commit.loading.title.commit":"S’estan confirmant els canvis","review.commit.loading.title.createPr":"S’està creant la petició de canvis","review.commit.loading.title.push":"S’estan enviant els canvis","review.commit.messageLabel":"Missatge del Commit","review.commit.messagePlaceholder":"Deixa en blanc per generar automàticament un missatge de confirmació","review.commit.nextSteps":"Següents passos","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Confirmació i creació de la sol·licitud de canvis","review.commit.nextSteps.commitAndPush":"Confirmació i enviament","review.commit.nextSteps.prRequiresGh":"Requereix GitHub CLI: {command}","review.commit.rows.changes":"Canvis","review.commit.rows.commitCount":"{count, plural, one {# confirmació} many {# confirmacions} other {# confirmacions}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# confirmació} many {# confirmacions} other {# confirmacions}} i {stats}","review.commit.rows.fileCount":"{count, plural, one {# fitxer} many {# fitxers} other {# fitxers}}","review.commit.state.error.body":"Alguna cosa no ha anat bé en confirmar. Comprova l’estat del git i torna-ho a provar.","review.commit.state.error.title":"La confirmació ha fallat","review.commit.state.success.title":"Canvis confirmats","review.commit.untracked.loadingStats":"S’estan carregant les estadístiques del diff no rastrejat…","reviewFindingAttachments.count":"{count, plural, one {# resultat} many {# resultats} other {# resultats}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Modifica la configuració per personalitzar el comportament de l’agent","settings.agent.configuration.configToml.docs":"Documents","settings.agent.configuration.configToml.restartNote":"Reinicia Codex quan hagis acabat per aplicar els canvis","settings.agent.configuration.subtitle":"Aquesta configuració s’aplica a qualsevol lloc on s’utilitzi Codex","settings.automations.banner.danger":"Les automatitzacions s’executen amb la configuració predeterminada per a l’entorn de proves, que actualment permet un accés complet. Executar les automatitzacions de fons amb un accés complet comporta un risc elevat, ja que Codex pot modificar fitxers, executar ordres i accedir a la xarxa sense preguntar. Planteja’t canviar la configuració de l’entorn de proves a escriptura de l’espai de treball i utilitzar certes <rulesDocsLink>regles</rulesDocsLink> per definir de forma selectiva quines ordres pot executar l’agent amb accés complet.","settings.automations.banner.defaultHowTo.default":"Les automatitzacions s’executen amb la configuració predeterminada per a l’entorn de proves. Les trucades a l’eina fallaran si requereixen modificar fitxers fora de l’espai de treball, accedir a la xarxa o treballar amb apps a l’ordinador. Pots permetre de forma selectiva que les ordres s’executin fora de l’entorn de proves utilitzant les <rulesDocsLink>regles</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Les automatitzacions s’executen amb la configuració predeterminada per a l’entorn de proves, que actualment és de només lectura. Les trucades a l’eina fallaran si requereixen modificar fitxers, accedir a la xarxa o treballar amb apps a l’ordinador. Planteja’t canviar la configuració de l’entorn de proves a escriptura a l’espai de treball.","settings.automations.cancel":"Cancel·la","settings.automations.create":"Crea","settings.automations.cwdEmpty":"No hi ha carpetes de projectes disponibles","settings.automations.cwdLabel":"Projectes","settings.automations.cwdPlaceholder":"Tria una carpeta","settings.automations.cwdSubtitle":"Si vols executar automàticament una branca específica, especifica-ho a la indicació.","settings.automations.delete":"Suprimeix","settings.automations.dialog.editTitle":"Modifica l’automatització","settings.automations.dialog.newTitle":"Nova automatització","settings.automations.dialog.subtitle":"Automatitza les tasques recurrents perquè s’executin en segon pla. Codex envia els resultats a la safata d’entrada o arxiva automàticament la tasca si no té res de què informar. <learnMoreLink>Més informació</learnMoreLink>","settings.automations.dialog.title":"Crea una automatització","settings.automations.executionCopy.git":"Les automatitzacions s’executen en segon pla en arbres de treball dedicats.","settings.automations.executionCopy.nonGit":"Les automatitzacions en projectes sense control de versió s’executen directament al directori de projectes. Planteja’t utilitzar Git per permetre l’execució en arbres de treball en segon pla.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Arbre de treball","settings.automations.loading":"S’està carregant…","settings.automations.nameLabel":"Nom","settings.automations.namePlaceholder":"Comprova si hi ha incidències a Sentry","settings.automations.pause":"Pausa","settings.automations.promptLabel":"Indicació","settings.automations.promptPlaceholder":"Busca errors de caiguda a $Sentry","settings.automations.resume":"Reprèn","settings.automations.rruleSummaryFallback":"Programació personalitzada","settings.automations.runNow":"Prova","settings.automations.save":"Desa","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Dies feiners","settings.automations.scheduleBadge.weekends":"Caps de setmana","settings.automations.scheduleHeader":"Programar","settings.automations.scheduleHours":"hores","settings.automations.scheduleLabel":"Executa cada","settings.automations.scheduleMode.daily":"Diàriament","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Tipus de programació","settings.automations.scheduleSummary.daily":"Diàriament a les {time}","settings.automations.scheduleSummary.interval":"Cada {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dia} many {# dies} other {# dies}}","settings.automations.scheduleSummary.intervalDays":"{interval} a {days}","settings.automations.scheduleSummary.intervalHourly":"Cada hora","settings.automations.scheduleSummary.singleDay":"{day} a les {time}","settings.automations.scheduleSummary.weekdays":"Dies feiners a les {time}","settings.automations.scheduleSummary.weekdaysLabel":"dies feiners","settings.automations.scheduleSummary.weekends":"Caps de setmana a les {time}","settings.automations.scheduleSummary.weekendsLabel":"caps de setmana","settings.automations.scheduleSummary.weekly":"{days} a les {time}","settings.automations.scheduleWeekdays":"Activada","settings.automations.weekdayState.excluded":"Exclòs","settings.automations.weekdayState.included":"Inclòs","settings.conversationDetail.steps":"Passos","settings.conversationDetail.steps.description":"Oculta les ordres i els resultats","settings.conversationDetail.stepsWithCommands":"Passos amb ordres de codi","settings.conversationDetail.stepsWithCommands.description":"Mostra les ordres, redueix els resultats","settings.conversationDetail.stepsWithOutput":"Passos amb sortides de codi","settings.conversationDetail.stepsWithOutput.description":"Mostra les ordres i amplia els resultats","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"No hi ha xats arxivats.","settings.dataControls.archivedChats.error":"No s’han pogut carregar els xats arxivats.","settings.dataControls.archivedChats.loading":"S’estan carregant els xats arxivats…","settings.dataControls.archivedChats.unarchive":"Treu de l’arxiu","settings.dataControls.archivedChats.unarchiveError":"No s’ha pogut desarxivar el xat","settings.dataControls.archivedChats.unarchiveSuccess":"Fil no arxivat. <viewNowLink>Mostra ara</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Fil no arxivat.","settings.dataControls.archivedChats.untitled":"Xat sense títol","settings.dataControls.archivedChats.viewNow":"Mostra ara","settings.editRow.headerPlaceholder":"Clau","settings.editRow.removeEntry":"Suprimeix l’entrada","settings.editRow.valuePlaceholder":"Valor","settings.general.appearance":"Aspecte","settings.general.appearance.codeFont":"Codi font","settings.general.appearance.codeFont.description":"Ajusta la font i la mida utilitzades per al codi dels xats i diffs","settings.general.appearance.codeFontFamily":"Família del codi font","settings.general.appearance.codeFontSize":"Mida del codi font","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Fes que les finestres utilitzin un fons sòlid en lloc de la translucidesa del sistema","settings.general.appearance.opaqueWindows.label":"Utilitza un fons opac en les finestres","settings.general.appearance.sansFontFamily":"Família de font sans serif","settings.general.appearance.sansFontFamily.description":"Ajusta la font utilitzada per a la IU de Codex","settings.general.appearance.sansFontSize":"Mida de la font sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Mostra efectes de celebració a pantalla completa mentre GPT-5.3-Codex-Spark executa la primera tanda","settings.general.appearance.sparkCelebrationEffects.label":"Efectes de celebració amb espurnes brillants","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Fosc","settings.general.appearance.theme.description":"Utilitza el mode clar, fosc o el que coincideixi amb el del teu sistema","settings.general.appearance.theme.light":"Clar","settings.general.appearance.theme.system":"Sistema","settings.general.appearance.usePointerCursors.description":"Canvia el cursor per una mà en passar per sobre d’elements interactius","settings.general.appearance.usePointerCursors.label":"Utilitza diferents cursors","settings.general.enterBehavior.description":"Quan les indicacions multilínia estan habilitades, cal prémer {modifierSymbol} + tecla de retorn per enviar-les.","settings.general.enterBehavior.label":"Per enviar indicacions llargues, cal prémer {modifierSymbol} + tecla de retorn","settings.general.experimentalFeatures":"Funcions experimentals (beta)","settings.general.experimentalFeatures.empty":"No hi ha funcions experimentals beta disponibles.","settings.general.experimentalFeatures.loading":"S’estan carregant les funcions experimentals…","settings.general.experimentalFeatures.restartNote":"Reinicia Codex per aplicar els canvis en les funcions experimentals","settings.general.experimentalFeatures.toggle":"Commuta {featureName}","settings.general.followUpQueueMode.description":"Posa els seguiments en cua mentre s’executa Codex o orienta l’execució actual. Prem {invertFollowUpShortcutLabel} per fer el contrari en un missatge.","settings.general.followUpQueueMode.interrupt":"Orienta","settings.general.followUpQueueMode.label":"Comportament dels seguiments","settings.general.followUpQueueMode.queue":"En cua","settings.general.notifications":"Notificacions","settings.general.power.preventSleepWhileRunning.description":"Mantén l’ordinador encès mentre Codex estigui executant un fil.","settings.general.power.preventSleepWhileRunning.label":"Evita la suspensió mentre s’estigui executant","settings.git.branchPrefix.ariaLabel":"Prefix de branca","settings.git.branchPrefix.description":"Prefix utilitzat en crear branques noves a Codex","settings.git.branchPrefix.label":"Prefix de branca","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"No s’ha pogut desar el prefix de branca","settings.git.branchPrefix.save.success":"S’ha desat el prefix de branca","settings.git.commitInstructions.ariaLabel":"Instruccions de confirmació","settings.git.commitInstructions.description":"S’ha afegit a les indicacions de generació de missatges de confirmació","settings.git.commitInstructions.label":"Instruccions de confirmació","settings.git.commitInstructions.placeholder":"Afegeix orientació per al missatge d’orientació…","settings.git.commitInstructions.save":"Desa","settings.git.commitInstructions.save.error":"Error en desar les instruccions de confirmació","settings.git.commitInstructions.save.success":"Instruccions de confirmació desades","settings.git.forcePush.ariaLabel":"Força sempre l’enviament","settings.git.forcePush.description":"Utilitza --force-with-lease en fer l’enviament des de Codex","settings.git.forcePush.label":"Força sempre l’enviament","settings.git.forcePush.save.disabled":"S’ha inhabilitat l’opció de forçar sempre l’enviament","settings.git.forcePush.save.enabled":"S’ha habilitat l’opció de forçar sempre l’enviament","settings.git.forcePush.save.error":"No s’ha pogut desar la configuració d’enviament forçat","settings.git.prInstructions.ariaLabel":"Instruccions de la sol·licitud de canvis","settings.git.prInstructions.description":"Afegit al cos de les sol·licituds de canvi creades per Codex","settings.git.prInstructions.label":"Instruccions de la sol·licitud de canvis","settings.git.prInstructions.placeholder":"Afegeix orientació per a la sol·licitud de canvis…","settings.git.prInstructions.save":"Desa","settings.git.prInstructions.save.error":"Error en desar les instruccions de la sol·licitud de canvis","settings.git.prInstructions.save.success":"Instruccions de la sol·licitud de canvis desades","settings.ide.defaultOpenTarget.description":"On els fitxers i les carpetes s’obren per defecte","settings.ide.defaultOpenTarget.label":"Destinació oberta per defecte","settings.ide.defaultOpenTarget.placeholder":"No s’han trobat objectius","settings.ide.language.auto":"Detecció automàtica","settings.ide.language.autoOption":"Detecció automàtica","settings.ide.language.description":"Idioma de la interfície d’usuari de l’app","settings.ide.language.label":"Idioma","settings.ide.language.search":"Cerca idiomes","settings.layout.actionButton":"Reinicia l’extensió","settings.layout.actionTitle":"Configuració amb acció","settings.layout.fullWidthTitle":"Configuració (ample complet)","settings.layout.title":"Configuració","settings.localEnvironments.actions.add":"Afegeix una acció","settings.localEnvironments.actions.add.description":"Crea una ordre nova per executar-la des de la barra d’eines.","settings.localEnvironments.actions.add.save":"Desa","settings.localEnvironments.actions.empty":"Afegeix una acció per executar ordres de la barra d’eines local.","settings.localEnvironments.actions.icon.debug":"Depuració","settings.localEnvironments.actions.icon.run":"Executa","settings.localEnvironments.actions.icon.test":"Prova","settings.localEnvironments.actions.icon.tool":"Eina","settings.localEnvironments.actions.item.button.delete":"Suprimeix","settings.localEnvironments.actions.item.command":"Activa l’script","settings.localEnvironments.actions.item.name":"Nom","settings.localEnvironments.actions.item.platforms":"Plataformes","settings.localEnvironments.actions.item.platforms.help":"Només s’executa en un sistema operatiu específic.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Selecció de plataforma","settings.localEnvironments.actions.item.platforms.specific":"Plataforma específica","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Suprimeix","settings.localEnvironments.actions.title":"Accions","settings.localEnvironments.breadcrumb.back":"Enrere","settings.localEnvironments.breadcrumb.edit":"modifica","settings.localEnvironments.breadcrumb.root":"Entorns","settings.localEnvironments.environment.actions.description":"Aquestes accions poden executar qualsevol ordre i es mostraran a la capçalera.","settings.localEnvironments.environment.actionsLabel":"Accions","settings.localEnvironments.environment.create":"Crea un entorn local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Modifica l’entorn local","settings.localEnvironments.environment.empty":"Encara no s’ha configurat cap entorn local per a aquest projecte.","settings.localEnvironments.environment.name":"Nom","settings.localEnvironments.environment.setup":"Guió de configuració","settings.localEnvironments.environment.setup.description":"Aquest script s’executarà en crear l’arbre de treball.","settings.localEnvironments.environment.setup.hint":"S’executa a l’arrel del projecte.","settings.localEnvironments.environment.setup.platformOverrides":"Anul·lacions de la plataforma","settings.localEnvironments.environment.setup.platformOverrides.add":"Afegeix l’script de configuració de {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Substitueix l’script predeterminat per a sistemes operatius específics.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Suprimeix","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Detalls de l’entorn","settings.localEnvironments.file.missing":"Desa per crear aquest fitxer per primer cop.","settings.localEnvironments.file.parseError":"No es pot analitzar el fitxer existent. En desar-lo, se sobreescriurà. ({error})","settings.localEnvironments.file.path":"Fitxer: {path}","settings.localEnvironments.file.readError":"No s’han pogut carregar les dades de l’entorn local. ({error})","settings.localEnvironments.file.title":"Fitxer de l’entorn local","settings.localEnvironments.loading.body":"S’està recuperant la configuració del projecte.","settings.localEnvironments.loading.title":"S’estan carregant els entorns locals","settings.localEnvironments.preview.devOnly":"(Només per a desenvolupament)","settings.localEnvironments.preview.save":"Desa","settings.localEnvironments.preview.saveError":"No s’ha pogut desar el fitxer. ({error})","settings.localEnvironments.preview.title":"Previsualització","settings.localEnvironments.save.disabled.name":"Afegeix un nom d’entorn per desar-lo.","settings.localEnvironments.save.disabled.noChanges":"No hi ha canvis per desar.","settings.localEnvironments.save.disabled.saving":"S’està desant…","settings.localEnvironments.save.success":"S’ha desat l’entorn local","settings.localEnvironments.unavailable.body":"No hem pogut carregar la configuració de l’entorn local per a aquest projecte.","settings.localEnvironments.unavailable.title":"No hi ha entorns locals disponibles","settings.localEnvironments.workspace.add":"Afegeix un projecte","settings.localEnvironments.workspace.title":"Projecte","settings.localEnvironments.workspaceSelect.addLabel":"Afegeix un entorn","settings.localEnvironments.workspaceSelect.description":"Els entorns locals indiquen a Codex com configurar els arbres de treball per a un projecte. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Encara no hi ha projectes. Afegeix-ne un per configurar entorns locals.","settings.localEnvironments.workspaceSelect.errorLabel":"L’entorn requereix atenció","settings.localEnvironments.workspaceSelect.learnMore":"Més informació","settings.localEnvironments.workspaceSelect.listLabel":"Projectes disponibles","settings.localEnvironments.workspaceSelect.loading":"S’estan carregant els projectes.","settings.localEnvironments.workspaceSelect.loadingLabel":"S’està carregant l’entorn","settings.localEnvironments.workspaceSelect.title":"Selecciona un projecte","settings.localEnvironments.workspaceSelect.viewAction":"Mostra","settings.mcp.addServer":"Afegeix un servidor","settings.mcp.app.configure":"Configura","settings.mcp.app.connect":"Connecta","settings.mcp.apps.refresh":"Actualitza","settings.mcp.detail.addArgument":"Afegeix un paràmetre","settings.mcp.detail.addEnvVar":"Afegeix una variable de l’entorn","settings.mcp.detail.addEnvVarPassthrough":"Afegeix una variable","settings.mcp.detail.args":"Paràmetres","settings.mcp.detail.back":"Enrere","settings.mcp.detail.command":"Ordre per publicar","settings.mcp.detail.cwd":"Directori de treball","settings.mcp.detail.docs":"Obre la documentació del MCP","settings.mcp.detail.docs.link":"Documents","settings.mcp.detail.envVarPassthrough":"Transmissió de variables d’entorn","settings.mcp.detail.envVars":"Variables de l’entorn","settings.mcp.detail.http.addEnvHeader":"Afegeix una variable","settings.mcp.detail.http.addHeader":"Afegeix una capçalera","settings.mcp.detail.http.bearerToken":"Variable d’entorn del testimoni del portador","settings.mcp.detail.http.envHeaders":"Capçaleres de les variables de l’entorn","settings.mcp.detail.http.headers":"Capçaleres","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nom","settings.mcp.detail.save":"Desa","settings.mcp.detail.switchTransportNotice":"Si vols canviar el tipus de servidor MCP, primer desinstal·la’l.","settings.mcp.detail.titleExisting":"Actualitza el servidor MCP {name}","settings.mcp.detail.titleNew":"Connecta a un MCP personalitzat","settings.mcp.detail.transport.http":"HTTP transmissible","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Desinstal·la","settings.mcp.empty":"No hi ha servidors MCP personalitzats connectats","settings.mcp.myServers":"Personalitza els servidors","settings.mcp.partnerServer.description.figma":"Genera un codi millor incorporant tot el context de Figma","settings.mcp.partnerServer.description.github":"Integra’t amb les API de GitHub per automatitzar els fluxos de treball i extreure dades","settings.mcp.partnerServer.description.linear":"Integra’t amb el gestor de projectes i seguiment d’incidències de Linear","settings.mcp.partnerServer.description.notion":"Llegeix documents, actualitza pàgines i gestiona tasques","settings.mcp.partnerServer.description.playwright":"Integra l’automatització del navegador per implementar el disseny i provar la IU.","settings.mcp.partnerServer.install":"Instal·la","settings.mcp.partnerServer.installAndAuthenticate":"Instal·la i autentica","settings.mcp.partnerServer.logoAlt":"Logotip de {label}","settings.mcp.partnerServer.manage":"Gestiona","settings.mcp.partnerServer.vendor":"de {vendor}","settings.mcp.recommendedServers":"Servidors recomanats","settings.mcp.restartApp":"Reinicia","settings.mcp.restartExtension":"Reinicia l’extensió","settings.mcp.server.enable":"Habilita","settings.mcp.server.login":"Autentica","settings.mcp.server.settings":"Configuració","settings.multiselect.createOption":'Crea "{value}"',"settings.multiselect.removeOption":"Suprimeix","settings.nav.account":"Compte","settings.nav.agent":"Configuració","settings.nav.ariaLabel":"Configuració","settings.nav.back":"Torna a l’app","settings.nav.data-controls":"Fils arxivats","settings.nav.environments":"Entorns al núvol","settings.nav.externalTooltip":"[alpha] Obre al navegador","settings.nav.general-settings":"General","settings.nav.git-settings":"Git","settings.nav.local-environments":"Entorns","settings.nav.mcp-settings":"Servidors MCP","settings.nav.notImplemented":"[alpha] No disponible a Alpha","settings.nav.personalization":"Personalització","settings.nav.skills-settings":"Habilitats","settings.nav.usage-analytics":"Ús i analítica","settings.nav.worktrees":"Arbres de treball","settings.openSourceLicenses.back":"Enrere","settings.openSourceLicenses.loading":"S’està carregant…","settings.openSourceLicenses.missing":"No s’han trobat avisos de tercers.","settings.openSourceLicenses.notSupported":"Encara no està disponible en aquest servidor.","settings.openSourceLicenses.rowDescription":"Avisos de tercers per a dependències agrupades","settings.openSourceLicenses.rowLabel":"Llicències de codi obert","settings.openSourceLicenses.subtitle":"Avisos de tercers per a dependències incloses en aquesta app","settings.openSourceLicenses.title":"Llicències de codi obert","settings.openSourceLicenses.view":"Mostra","settings.personalization.agents.description":"Modifica les instruccions que Codex personalitza per a tu. {learnMore}","settings.personalization.agents.learnMore":"Més informació","settings.personalization.agents.loadError":"No s’han pogut carregar els agents.md.","settings.personalization.agents.loading":"S’estan carregant els agents.md…","settings.personalization.agents.placeholder":"Afegeix instruccions personalitzades…","settings.personalization.agents.retry":"Torna-ho a provar","settings.personalization.agents.save":"Desa","settings.personalization.agents.save.error":"No s’han pogut desar els agents.md.","settings.personalization.agents.save.success":"S’han desat els agents.md","settings.personalization.agents.title":"Instruccions personalitzades","settings.personalization.personality.description":"Tria un to predeterminat per a les respostes de Codex","settings.personalization.personality.label":"Personalitat","settings.sample.contentBody":"Utilitza aquest disseny per compondre els panells de configuració amb un espaiat uniforme.","settings.sample.contentTitle":"Bloc de contingut de mostra","settings.section.account":"Compte","settings.section.agent":"Configuració","settings.section.data-controls":"Fils arxivats","settings.section.environments":"Entorns al núvol","settings.section.external":"S’obre al navegador durant l’Alpha","settings.section.general-settings":"General","settings.section.git-settings":"Git","settings.section.local-environments":"Entorns","settings.section.mcp-settings":"Servidors MCP","settings.section.mcp-settings.docs":"Documents","settings.section.mcp-settings.subtitle":"Connecta eines i fonts de dades externes.","settings.section.personalization":"Personalització","settings.section.skills-settings":"Habilitats","settings.section.unavailable":"Encara no està disponible a l’Alpha","settings.section.usage-analytics":"Ús i analítica","settings.section.worktrees":"Arbres de treball","settings.threadDetail.description":"Tria quantes sortides d’ordres vols mostrar als fils","settings.threadDetail.label":"Informació del fil","settings.worktrees.conversation.untitled":"Conversa sense títol","settings.worktrees.delete.error":"No s’ha pogut suprimir l’arbre de treball","settings.worktrees.empty.body":"Els arbres de treball creats per Codex apareixeran aquí.","settings.worktrees.empty.title":"Encara no hi ha arbres de treball","settings.worktrees.error.body":"Alguna cosa ha anat malament en carregar els arbres de treball.","settings.worktrees.error.retry":"Torna-ho a provar","settings.worktrees.error.title":"No s’han pogut carregar els arbres de treball","settings.worktrees.loading.body":"S’està recollint la informació de l’arbre de treball.","settings.worktrees.loading.title":"S’estan carregant els arbres de treball","settings.worktrees.repository.loading":"S’estan carregant les metadades del repositori…","settings.worktrees.repository.unknown":"Repositori desconegut","settings.worktrees.row.conversations":"Converses","settings.worktrees.row.conversations.empty":"No hi ha converses vinculades a aquest arbre de treball.","settings.worktrees.row.conversations.loading":"S’estan carregant les converses…","settings.worktrees.row.delete":"Suprimeix","settings.worktrees.row.title":"Arbre de treball","sidebarElectron.addWorkspaceRoot":"Afegeix un projecte nou","sidebarElectron.archiveThread":"Arxiva el fil","sidebarElectron.archiveThreadError":"Error en arxivar el fil","sidebarElectron.collapseFolder":"Anul·la la carpeta","sidebarElectron.createStableWorktree.dialog.cancel":"Cancel·la","sidebarElectron.createStableWorktree.dialog.create":"Crea","sidebarElectron.debugNavLink":"Depuració","sidebarElectron.editWorkspaceRootOptionName":"Modifica el nom","sidebarElectron.expandFolder":"Amplia la carpeta","sidebarElectron.groupByMenu.recency":"Llista cronològica","sidebarElectron.groupByMenu.title":"Organitza","sidebarElectron.groupByMenu.workspace":"Per projecte","sidebarElectron.inboxRouteNavLink":"Automatitzacions","sidebarElectron.markThreadUnread":"Marca com a no llegit","sidebarElectron.missingWorkspaceRoot":"Aquesta carpeta de projecte s’ha eliminat o mogut","sidebarElectron.newThread":"Nou fil","sidebarElectron.newThreadInGroup":"Inicia un fil nou a {folder}","sidebarElectron.noRecentThreads":"No hi ha fils recents","sidebarElectron.noTasks":"No hi ha fils","sidebarElectron.noTasks.start":"Afegeix un projecte nou","sidebarElectron.noTasksWithFilter":"No hi ha fils que coincideixin amb els filtres","sidebarElectron.pinnedThreads":"Fils fixats","sidebarElectron.recentNavLink":"Fils","sidebarElectron.recentThreads":"Fils recents","sidebarElectron.removeWorkspaceRootOption":"Suprimeix","sidebarElectron.renameThread":"Canvia el nom del fil","sidebarElectron.renameThreadDialogAriaLabel":"Títol del fil","sidebarElectron.renameThreadDialogCancel":"Cancel·la","sidebarElectron.renameThreadDialogPlaceholder":"Afegeix un títol…","sidebarElectron.renameThreadDialogSave":"Desa","sidebarElectron.renameThreadDialogSubtitle":"Fes-lo curt i fàcil de reconèixer.","sidebarElectron.renameThreadDialogTitle":"Canvia el nom del fil","sidebarElectron.renameThreadError":"No s’ha pogut canviar el nom del fil","sidebarElectron.renameWorkspaceRootOptionLabel":"Nom a mostrar","sidebarElectron.showLess":"Mostra’n menys","sidebarElectron.showMenu.all":"Tots els fils","sidebarElectron.showMenu.relevant":"Rellevant","sidebarElectron.showMenu.relevantHint":"Mostra només els fils recents de la branca actual, dels arbres de treball o altres fils que requereixin la teva atenció","sidebarElectron.showMenu.title":"Mostra","sidebarElectron.showMenu.tooltip":"Filtra, classifica i organitza els fils","sidebarElectron.showMenu.trigger":"Filtra els fils de la barra lateral","sidebarElectron.showMore":"Mostra’n més","sidebarElectron.skillsRouteNavLink":"Habilitats","sidebarElectron.sortMenu.created":"Data de creació","sidebarElectron.sortMenu.title":"Classifica per","sidebarElectron.sortMenu.updated":"Actualitzat","sidebarElectron.taskNavigation":"Carpetes d’automatitzacions","sidebarElectron.tasksInFolder":"Automatitzacions a {folder}","sidebarElectron.workspaceOptions":"Accions de projecte per {folder}","sidebarElectron.worktreeGroupTooltip":"Això és un arbre de treball de git","skills.appsPage.createSkill":"Habilitat nova","skills.appsPage.empty.skills":"No s’han trobat habilitats","skills.appsPage.search.skills":"Cerca habilitats","skills.appsPage.search.skills.label":"Cerca habilitats","skills.appsPage.section.installedApps":"Instal·lades","skills.appsPage.section.skills":"Habilitats","skills.appsPage.subheading":"Concedeix superpoders a Codex.<link>Més informació</link>","skills.appsPage.tab.recommended":"Recomanat","skills.appsPage.tab.skills":"Habilitats","skills.card.contentsError":"No es poden pujar continguts d’habilitats.","skills.card.disable":"Inhabilita","skills.card.disableSuccess":"{skillName} habilitat desactivada","skills.card.disabledBadge":"Inhabilitades","skills.card.enable":"Habilita","skills.card.enableSuccess":"{skillName} habilitat activada","skills.card.loadingContents":"S’estan carregant continguts d’habilitats…","skills.card.more":"Més accions","skills.card.open":"Obre","skills.card.removeFailed":"No s’ha pogut desinstal·lar l’habilitat","skills.card.removeSuccess":"{skillName} habilitat desinstal·lada","skills.card.toggleEnabledError":"No s’ha pogut actualitzar l’habilitat","skills.card.try":"Prova","skills.card.trySkill":"Prova l’habilitat","skills.card.uninstall":"Desinstal·la","skills.hero.dotLabel":"Ves a la diapositiva {index}","skills.hero.next":"Habilitat destacada següent","skills.hero.trySkill":"Prova l’habilitat","skills.page.createSkill":"Habilitat nova","skills.page.empty":"No s’han trobat habilitats","skills.page.filteredEmpty":"No hi ha habilitats que s’ajustin als teus filtres","skills.page.filteredEmptyDescription":"Prova d’ajustar els filtres o l’abast de la cerca","skills.page.heading":"Habilitats","skills.page.loading":"S’estan carregant les habilitats…","skills.page.refreshSkills":"Actualitza","skills.page.refreshSkillsToUseNew":"Actualitza per utilitzar habilitats noves","skills.page.search":"Cerca habilitats","skills.page.search.label":"Cerca habilitats","skills.page.subheading":"Concedeix superpoders a Codex.<link>Més informació</link>","skills.preview.copyPrompt":"Copia la indicació","skills.preview.examplePrompt":"Indicació d’exemple","skills.recommended.error":"No s’han pogut carregar les habilitats recomanades","skills.recommended.install":"Instal·la","skills.recommended.installSkill":"Instal·la l’habilitat","skills.recommended.installSuccess":"{skillName} habilitat instal·lada","skills.recommended.installed":"Instal·lades","skills.scope.admin":"Administrador","skills.scope.adminInstalled":"Habilitats instal·lades per l’administrador","skills.scope.builtIn":"Sistema","skills.scope.personal":"Personal","skills.scope.repo":"Repositori","skills.scope.system":"Sistema","skills.scope.team":"Equip","skills.scope.user":"Usuari","skills.section.installed":"Instal·lades","skills.section.recommended":"Recomanades","story.slidingToggle.existing":"Existent","story.slidingToggle.fromLocal":"De local","story.slidingToggle.new":"Nou","story.slidingToggle.toLocal":"A local","terminal.close":"Tanca el terminal","terminal.title":"Terminal","thinkingShimmer.default":"S’està pensant","threadEnvIcon.cloudTooltip":"Aquesta conversa s’està executant a Codex Cloud.","threadEnvIcon.localTooltip":"Aquesta conversa s’està executant localment.","threadEnvIcon.worktreeTooltip":"Aquesta conversa s’està executant en un arbre de treball del git local.","threadHeader.archiveConfirmCancel":"Cancel·la","threadHeader.archiveConfirmConfirm":"Arxiva","threadHeader.archiveConfirmSubtitle":"Podràs cercar-lo més endavant als fils arxivats.","threadHeader.archiveConfirmTitle":"Vols arxivar el fil?","threadHeader.copyAppLink":"Copia l’enllaç profund","threadHeader.copySessionId":"Copia l’identificador de la sessió","threadHeader.copyWorkingDirectory":"Copia el directori de treball","threadHeader.forkIntoLocal":"Bifurca cap al repositori local","threadHeader.forkIntoWorktree":"Bifurca en un arbre de treball nou","threadHeader.forkPendingWorktreePrompt":"Bifurca aquesta conversa en un arbre de treball nou.","threadHeader.forkPendingWorktreeTitle":"Conversa bifurcada","threadHeader.forkThreadError":"S’ha produït un error en bifurcar el fil","threadHeader.forkThreadRequiresGitRepo":"Bifurcar en un arbre de treball nou requereix un repositori de git","threadHeader.moreActions":"Accions del fil","threadPage.newThread":"Nou fil","threadPage.runAction.changeEnvironment":"Canvia d’entorn","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} accions","threadPage.runAction.environmentSelector.label":"Tria un entorn","threadPage.runAction.label":"Executa","threadPage.runAction.missing.label":"Configura una acció d’execució","threadPage.runAction.setup.commandLabel":"Ordre per executar","threadPage.runAction.setup.description":"Indica a Codex com ha d’instal·lar les dependències i iniciar l’app.","threadPage.runAction.setup.editMore":"Configuració de l’entorn","threadPage.runAction.setup.placeholder":"p. ex.: npm install, npm run","threadPage.runAction.setup.submit":"Desa i executa","threadPage.runAction.setup.title":"Executa","threadPage.runAction.tooltip.withEnvironment":"{environmentName} accions","threadPage.toggleDiffPanel":"Activa el panell del diff","threadPage.toggleTerminal":"Commuta el terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Obre la carpeta","toolSummaryForCmd.exploredFiles":"<verb>Llista</verb> de fitxers","toolSummaryForCmd.exploredFilesInPath":"<verb>Llista</verb> de fitxers a {path}","toolSummaryForCmd.exploringFiles":"<verb>S’està fent una llista</verb> de fitxers","toolSummaryForCmd.exploringFilesInPath":"<verb>S’ha fet una llista</verb> de fitxers a {path}","toolSummaryForCmd.ranGenericCommand":"<status>Ordre executada</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>S’ha executat</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Llegeix</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>S’està executant l’ordre</status>{timer}","toolSummaryForCmd.runningTimer":"per a {elapsed}","toolSummaryForCmd.searchedFor":"<verb>S’ha cercat</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>S’han cercat</verb> fitxers","toolSummaryForCmd.searchedForInPath":"<verb>S’ha cercat</verb> {query} a {path}","toolSummaryForCmd.searchingFor":"<verb>S’està cercant</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>S’estan cercant</verb> fitxers","toolSummaryForCmd.searchingForInPath":"<verb>S’està cercant</verb> {query} a {path}","traceRecording.details.noteLabel":"Què feies quan ha passat això? (opcional)","traceRecording.details.notePlaceholder":"He navegat fins a un fil gran i després he canviat de pestanya repetidament…","traceRecording.details.submit":"Envia rastreig","traceRecording.details.subtitle":"Podem enviar aquest rastreig per ajudar a diagnosticar problemes de rendiment.","traceRecording.details.title":"Vols enviar el rastreig?","traceRecording.progress.subtitle":"Mantén Codex obert mentre es completa la tasca.","traceRecording.saving.title":"S’està desant el rastreig…","traceRecording.startDetails.cancel":"Cancel·la","traceRecording.startDetails.submit":"D’acord, inicia l’enregistrament","traceRecording.startDetails.subtitle":'Després de fer clic a "D’acord", reprodueix el problema de rendiment i, a continuació, fes clic sobre l’indicador flotant vermell per aturar i revisar el rastreig.',"traceRecording.startDetails.title":"Com funciona l’enregistrament del rastreig","traceRecording.stopButton.ariaLabel":"Atura l’enregistrament del rastreig","traceRecording.upload.successToast":"S’ha enviat el rastreig.","traceRecording.uploading.title":"S’està pujant el rastreig…","wham.diff.addComment":"Afegeix un comentari","wham.diff.binaryFile":"El fitxer binari no es mostra","wham.diff.noContent":"No hi ha contingut","wham.fileTag.deleted":"Eliminat","wham.fileTag.new":"Nou","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}mes","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}setm.","wham.formattedRelativeDateTime.compactYearsAgo":"{value}any","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"–{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"S’està treballant en la teva tasca","wham.whamProposedTask.title":"Tasca suggerida","wham.whamProposedTask.useSuggestion":"Utilitza un suggeriment","workspaceRootDialog.addError":"No s’ha pogut afegir el projecte","workspaceRootDialog.cancel":"Cancel·la","workspaceRootDialog.confirmAdd":"Afegeix un projecte","workspaceRootDialog.confirmPick":"Utilitza el projecte","workspaceRootDialog.description":"Introdueix una ruta a {host} per utilitzar-lo com a projecte.","workspaceRootDialog.pathLabel":"Ruta del projecte","workspaceRootDialog.pathPlaceholder":"/inici/tu/projecte","workspaceRootDialog.title.add":"Afegeix la ruta del projecte","workspaceRootDialog.title.pick":"Tria la ruta del projecte","worktreeInitV2.cancel":"Cancel·la","worktreeInitV2.notification.failedTitle":"La configuració de l’arbre de treball ha fallat","worktreeInitV2.output.empty":"Esperant la sortida…","worktreeInitV2.status.error":"La configuració de l’arbre de treball ha fallat.","worktreeInitV2.status.running":"S’està creant un arbre de treball i executant la configuració.","worktreeInitV2.status.runningFork":"S’està creant un arbre de treball per bifurcar aquesta conversa.","worktreeInitV2.status.success":"L’arbre de treball està a punt.","worktreeInitV2.title":"S’està creant l’arbre de treball","worktreeInitV2.workLocallyInstead":"Treballa localment","worktreeRestoreBanner.body":"L’arbre de treball d’aquest fil s’ha eliminat per estalviar espai de disc","worktreeRestoreBanner.missing.body":"El directori de treball d’aquest fil ja no existeix.","worktreeRestoreBanner.missing.title":"No es troba el directori de treball actual","worktreeRestoreBanner.restore.error":"No s’ha pogut restaurar l’arbre de treball: {message}","worktreeRestoreBanner.restore.success":"Arbre de treball restaurat","worktreeRestoreBanner.restoreCta":"Restaura l’arbre de treball","worktreeRestoreBanner.title":"S’ha buidat l’arbre de treball"};export{e as default};
+const e={"CopyButton.copyTooltip":"Copia","app.sidebar.hide":"Oculta la barra lateral","app.sidebar.show":"Obre la barra lateral","app.sidebar.tooltip":"Commutar la barra lateral","appHeader.installUpdate":"Actualitza","appSunset.body":"Aquesta versió de l’app ja no és compatible. Baixa la versió més recent <here>aquí</here>.","appSunset.title":"És necessari actualitzar","automation.updateDirective.create":"Crea","automation.updateDirective.open":"Obre","automation.updateDirective.untitled":"Automatització sense títol","automation.updateDirective.update":"Actualitza","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# intent} many {# intents} other {# intents}}","cloudTaskRow.archiveError":"Error en arxivar la tasca","code.diff.requestChange":"Sol·licita un canvi","code.diffComment.cancel":"Cancel·la","code.diffComment.comment":"Comenta","code.diffComment.delete":"Suprimeix","code.diffComment.save":"Desa","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"No s’ha informat de cap resultat.","codex.alert.closeAriaLabel":"Tanca","codex.appUpsellBanner.cbpApi.message":"Crea més ràpid amb l’app de Codex. Baixa-la ara o {learnMoreLink}.","codex.appUpsellBanner.download":"Baixa","codex.appUpsellBanner.freeGo.message":"Codex s’inclou en el teu pla fins al 2 de març. Prova l’app de Codex per crear més ràpid.","codex.appUpsellBanner.later":"Més endavant","codex.appUpsellBanner.learnMoreLowercase":"més informació","codex.appUpsellBanner.new":"Nou","codex.appUpsellBanner.proPlusBusiness.message":"Prova l’app de Codex amb el doble de límits fins al 2 d’abril. Baixa-la ara o {learnMoreLink}.","codex.appUpsellBanner.title":"App de Codex","codex.applyDropdown.header.changes":"Canvis","codex.applyDropdown.header.fileCount":"{count, plural, one {# fitxer} many {# fitxers} other {# fitxers}}","codex.applyDropdown.header.rows":"files","codex.applyDropdown.header.title":"Aplica els canvis","codex.applyDropdown.header.workspace":"Projecte","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fitxer en conflicte:} many {{count} fitxers en conflicte:} other {{count} fitxers en conflicte:}}","codex.applyDropdown.results.empty":"No s’ha copiat cap fitxer","codex.applyDropdown.results.skipped":"{count, plural, one {1 fitxer omès:} many {{count} fitxers omesos:} other {{count} fitxers omesos:}}","codex.applyOrRevertBanner.apply":"Aplica","codex.applyOrRevertBanner.applyMessage":"Vols aplicar els canvis i continuar localment?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Aquesta tasca es va fer a {environment} i, per tant, és possible que no s’apliqui correctament.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Els canvis s’han fet a {environment} i, per tant, és possible que no s’apliquin correctament.","codex.applyOrRevertBanner.reapply":"Torna a aplicar","codex.applyOrRevertBanner.revert":"Reverteix","codex.applyOrRevertBanner.revertMessage":"Vols revertir els canvis aplicats?","codex.applyResultsDialog.applied":"Aplicat correctament ({count})","codex.applyResultsDialog.close":"Tanca","codex.applyResultsDialog.conflicted":"En conflicte ({count})","codex.applyResultsDialog.noDetails":"No hi ha informació del fitxer disponible.","codex.applyResultsDialog.skipped":"Omès ({count})","codex.applyResultsDialog.title":"Aplica els resultats","codex.archiveInfo":"Mostra els xats arxivats a {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Controls de dades","codex.archiveInfo.electron":"Mostra els xats arxivats a {settingsLink}","codex.archiveInfo.extension":"Mostra els xats arxivats a la teva carpeta .codex.","codex.archiveInfo.settingsLink":"Configuració","codex.banner.content.description":"Executa tasques en paral·lel, segueix el progrés a qualsevol lloc i revisa sol·licituds de canvis amb IA.","codex.banner.content.headline":"Codex ho fa tot.","codex.cloudTaskRow.archiveTask":"Arxiva la tasca","codex.cloudTaskRow.confirmArchiveTask":"Confirma","codex.command.feedback":"Comentaris","codex.command.findInThread":"Cerca","codex.command.forceReloadSkills":"Força la recàrrega de les habilitats","codex.command.logOut":"Tanca la sessió","codex.command.manageTasks":"Gestiona les tasques","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Enrere","codex.command.navigateForward":"Endavant","codex.command.newThread":"Nou fil","codex.command.nextThread":"Fil nou","codex.command.openFolder":"Obre la carpeta","codex.command.openSkills":"Ves a habilitats","codex.command.openThreadOverlay":"Obre el fil en una finestra independent","codex.command.personalitySettings":"Personalitat","codex.command.previousThread":"Fil anterior","codex.command.settings":"Configuració","codex.command.toggleDiffPanel":"Activa el panell del diff","codex.command.toggleSidebar":"Commutar la barra lateral","codex.command.toggleTerminal":"Commuta el terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"Configura","codex.commandGroup.navigation":"Navegació","codex.commandGroup.panels":"Panells","codex.commandGroup.skills":"Habilitats","codex.commandGroup.thread":"Fil","codex.commandGroup.workspace":"Projecte","codex.commandMenu.noResults":"No s’han trobat coincidències","codex.commandMenu.searchPlaceholder":"Cerca ordres","codex.commandMenu.suggestedGroup":"Suggerits","codex.commandMenu.switchWorkspace":"Canvia de projecte","codex.commandMenu.title":"Menú d’ordres","codex.common.retry":"Torna-ho a provar","codex.composer.searchBranches":"Cerca branques","codex.dialog.basic.body":"Aquest és un quadre de diàleg modal senzill que utilitza el nostre contenidor al voltant de Radix Dialog.","codex.dialog.basic.cancel":"Cancel·la","codex.dialog.basic.confirm":"Confirma","codex.dialog.basic.open":"Obre el quadre de diàleg","codex.dialog.basic.title":"Quadre de diàleg de mostra","codex.dialog.long.close":"Tanca","codex.dialog.long.line":"Línia desplaçable {index} per mostrar contingut llarg dins del quadre de diàleg.","codex.dialog.long.open":"Obre el quadre de diàleg llarg","codex.dialog.long.title":"Quadre de diàleg llarg","codex.dialog.unstyled.body":"Aquesta història mostra com els locutors poden controlar completament l’estil del contingut del diàleg.","codex.dialog.unstyled.open":"Obre un diàleg sense estil","codex.dialog.unstyled.title":"Contingut sense estil","codex.diff.openInEditorPrompt.openButton":"Obre a l’editor","codex.diff.openInEditorPrompt.singleLine":"El fitxer és massa gran per mostrar-lo aquí.","codex.diffView.failedToDecodeBase64Diff":"No s’ha pogut descodificar el diff base64","codex.diffView.filesChanged":"{fileCount, plural, one {# fitxer canviat} many {# fitxers canviats} other {# fitxers canviats}}","codex.diffView.imagePreviewAlt":"Vista prèvia de la imatge","codex.diffView.imagePreviewEmpty":"No hi ha imatge","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"–{linesDeleted}","codex.diffView.noDiffData":"No hi ha dades del diff","codex.diffView.pdfPreview.nextPage":"Pàgina següent","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Pàgina anterior","codex.diffView.pdfPreviewEmpty":"No hi ha previsualització en PDF","codex.diffView.pdfPreviewError":"No es pot generar la previsualització en PDF","codex.diffView.richPreviewDisable":"Inhabilita la previsualització enriquida","codex.diffView.richPreviewEnable":"Habilita la previsualització enriquida","codex.diffView.richPreviewLoading":"Carregant previsualització…","codex.diffView.richPreviewToggle":"Commuta la previsualització enriquida","codex.diffView.switchToUnified":"Canvia a diff unificat","codex.environmentSelector.noEnvironment":"Sense entorn","codex.environments.environmentSettings":"Configuració de l’entorn","codex.environments.learnMore":"Més informació","codex.environments.listError":"No s’han pogut carregar els entorns.","codex.environments.noEnvironmentsFound":"No s’ha trobat cap entorn","codex.environments.searchError":"No s’han pogut cercar els entorns.","codex.errorBoundary.genericError":"Vaja, s’ha produït un error","codex.errorBoundary.goHome":"Torna-ho a provar","codex.file.patch.missing":"No s’ha pogut apedaçar aquest fitxer.","codex.gallery.automations.cwdLabel":"Projectes","codex.gallery.automations.nameLabel":"Nom","codex.gallery.automations.namePlaceholder":"Resumeix una tasca","codex.gallery.automations.promptLabel":"Indicació","codex.gallery.automations.promptPlaceholder":"Descriu què hauria de fer Codex","codex.gallery.dialogs.automation.label":"Diàleg d’automatització","codex.gallery.dialogs.basic.body":"Utilitza aquest disseny per a confirmacions senzilles o formularis curts.","codex.gallery.dialogs.basic.cancel":"Cancel·la","codex.gallery.dialogs.basic.confirm":"Confirma","codex.gallery.dialogs.basic.label":"Diàleg bàsic","codex.gallery.dialogs.basic.title":"Diàleg de mostra","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Descriu el problema","codex.gallery.dialogs.feedbackSubmission.bad":"Mal resultat","codex.gallery.dialogs.feedbackSubmission.bug":"Error","codex.gallery.dialogs.feedbackSubmission.good":"Bon resultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inclou els registres de sessió de Codex actuals","codex.gallery.dialogs.feedbackSubmission.label":"Enviament de comentaris","codex.gallery.dialogs.feedbackSubmission.other":"Altres","codex.gallery.dialogs.feedbackSubmission.placeholder":"Descriu el problema aquí","codex.gallery.dialogs.feedbackSubmission.submit":"Envia","codex.gallery.dialogs.feedbackSubmission.title":"Comentaris","codex.gallery.dialogs.feedbackSuccess.body":"S’ha pujat el comentari. Si el problema persisteix, obre una incidència a GitHub o esmenta l’identificador del fil en una incidència que ja estigui oberta.","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ignora","codex.gallery.dialogs.feedbackSuccess.label":"Enviament de comentaris correcte","codex.gallery.dialogs.feedbackSuccess.title":"S’ha pujat el comentari","codex.gallery.dialogs.gitApplyResults.applied":"Aplicat correctament (2)","codex.gallery.dialogs.gitApplyResults.close":"Tanca","codex.gallery.dialogs.gitApplyResults.conflicted":"En conflicte: (1)","codex.gallery.dialogs.gitApplyResults.label":"Aplica els resultats","codex.gallery.dialogs.gitApplyResults.title":"Aplica els resultats","codex.gallery.dialogs.gitPushError.body":"Descarrega els últims canvis o fes un force push si saps que l’historial remot es pot sobreescriure amb seguretat.","codex.gallery.dialogs.gitPushError.cancel":"Cancel·la","codex.gallery.dialogs.gitPushError.force":"Força el push","codex.gallery.dialogs.gitPushError.label":"Error en fer push","codex.gallery.dialogs.gitPushError.subtitle":"La teva branca va per darrere d’origen/principal.","codex.gallery.dialogs.gitPushError.title":"No s’han pogut enviar els canvis","codex.gallery.dialogs.gitRevert.cancel":"Cancel·la","codex.gallery.dialogs.gitRevert.confirm":"Reverteix","codex.gallery.dialogs.gitRevert.label":"Reverteix els canvis","codex.gallery.dialogs.gitRevert.skip":"No m’ho tornis a preguntar","codex.gallery.dialogs.gitRevert.subtitle":"Aquesta acció elimina tots els canvis.","codex.gallery.dialogs.gitRevert.title":"Vols revertir els canvis?","codex.gallery.dialogs.longForm.label":"Diàleg de format llarg","codex.gallery.dialogs.proseModal.body":"Aquest estil de modal s’utilitza per a indicacions més llargues, processos d’incorporació o blocs de contingut enriquit.","codex.gallery.dialogs.proseModal.close":"Tanca","codex.gallery.dialogs.proseModal.subtitle":"Comparteix aquí guies o documentació de format llarg.","codex.gallery.dialogs.proseModal.title":"Modal de prosa","codex.gallery.dialogs.submitBlocked.label":"Enviament bloquejat","codex.gallery.dialogs.submitBlocked.message":"No s’ha pogut enviar el missatge perquè el projecte no està disponible.","codex.gallery.dialogs.submitBlocked.ok":"D’acord","codex.gallery.dialogs.submitBlocked.title":"No s’ha pogut enviar el missatge","codex.gallery.dialogs.title":"Diàlegs","codex.gallery.dropdown.filterPlaceholder":"Filtra articles","codex.gallery.dropdowns.actionRow":"Files d’accions","codex.gallery.dropdowns.actionRow.disabled":"Acció deshabilitada","codex.gallery.dropdowns.actionRow.primary":"Acció principal","codex.gallery.dropdowns.actionRow.secondary":"Acció secundària","codex.gallery.dropdowns.actionRow.trigger":"Mostra les accions","codex.gallery.dropdowns.basic":"Desplegable bàsic","codex.gallery.dropdowns.basic.newFile":"Fitxer nou","codex.gallery.dropdowns.basic.newFolder":"Nova carpeta","codex.gallery.dropdowns.basic.openSettings":"Obre la configuració","codex.gallery.dropdowns.basic.title":"Accions ràpides","codex.gallery.dropdowns.basic.trigger":"Obre el menú","codex.gallery.dropdowns.basic.upload":"Puja","codex.gallery.dropdowns.panel":"Superfície del panell","codex.gallery.dropdowns.panel.apply":"Aplica","codex.gallery.dropdowns.panel.body":"Revisa els diffs i aplica’ls al projecte.","codex.gallery.dropdowns.panel.preview":"Previsualització","codex.gallery.dropdowns.panel.title":"Aplica els canvis","codex.gallery.dropdowns.panel.trigger":"Obre el panell","codex.gallery.dropdowns.search":"Desplegable amb cerca","codex.gallery.dropdowns.search.first":"Canal d’Alpha","codex.gallery.dropdowns.search.second":"Branca beta","codex.gallery.dropdowns.search.third":"Candidat a llançament","codex.gallery.dropdowns.search.trigger":"Filtra articles","codex.gallery.dropdowns.submenu":"Desplegable amb submenú","codex.gallery.dropdowns.submenu.optionA":"Projecte alfa","codex.gallery.dropdowns.submenu.optionB":"Projecte beta","codex.gallery.dropdowns.submenu.optionC":"Projecte gamma","codex.gallery.dropdowns.submenu.primary":"Assigna el propietari","codex.gallery.dropdowns.submenu.secondary":"Mou-lo a","codex.gallery.dropdowns.submenu.tertiary":"Arxiva","codex.gallery.dropdowns.submenu.trigger":"Tria una acció","codex.gallery.dropdowns.title":"Desplegables","codex.gallery.inbox.automations.close":"Tanca","codex.gallery.inbox.automations.popover.cardTitle":"Gestiona les automatitzacions","codex.gallery.inbox.automations.popover.dialogTitle":"Gestiona les automatitzacions","codex.header.settingsTooltip":"Configuració","codex.hunk.patch.error":"Error en desar a la pila","codex.hunk.patch.missing":"No s’ha pogut apedaçar aquest fragment.","codex.hunk.patch.partialSuccess":"Èxit parcial","codex.hunk.patch.revertError":"Error en treure de la pila","codex.hunk.patch.revertSuccess":"S’ha tret de la pila correctament","codex.hunk.patch.success":"S’ha desat a la pila correctament","codex.legal.autonomy.details":"Si vols més informació, consulta la {link}","codex.legal.autonomy.details.link":"documentació de Codex","codex.legal.autonomy.title":"Decideix quanta autonomia li vols donar","codex.legal.backButton":"Enrere","codex.legal.cloud.taskOne.meta":"openai/agi · 12 oct","codex.legal.cloud.taskOne.title":"Explica el repositori a un dissenyador nou","codex.legal.cloud.taskThree.meta":"openai/codex · 8 oct","codex.legal.cloud.taskThree.stats.negative":"–123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Crea un tema fosc","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 oct","codex.legal.cloud.taskTwo.stats.negative":"–20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Arregla un error d’incorporació","codex.legal.continue.apikey":"Continua","codex.legal.continueButton":"Següent","codex.legal.copilot.details":"Utilitza el teu pla de Copilot per a les crides del model, la facturació i els límits tarifaris. L’ús de l’extensió de Codex està subjecte tant a les {oaiTos} com a les {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"condicions del servei de GitHub","codex.legal.copilot.oaiTosLink":"condicions del servei d’OpenAI Codex","codex.legal.copilot.title":"Amb tecnologia de GitHub Copilot","codex.legal.mistakes.review":"Revisa el codi que escriu i les ordres que executa","codex.legal.mistakes.title":"Codex es pot equivocar","codex.legal.powered.details":"Utilitza els límits tarifaris del teu pla i les teves {link}","codex.legal.powered.details.link":"preferències de dades d’entrenament ","codex.legal.powered.title":"Funciona amb el teu compte de ChatGPT","codex.legal.step.cloud.subtitle":"Envia tasques a Codex perquè les executi de fons i tu puguis concentrar-te i avançar més ràpidament.","codex.legal.step.cloud.title":"Entrega a Codex al núvol","codex.legal.step.intro.subtitle":"Codex navega, modifica i executa ordres i proves directament al teu repositori. Funciona amb el teu compte de ChatGPT.","codex.legal.step.intro.title":"Codex al teu IDE","codex.legal.step.todo.subtitle":"Escriu un comentari TODO i converteix-lo en una tasca de Codex amb un clic.","codex.legal.step.todo.title":"Converteix TODO en tasques de Codex","codex.legal.todo.heading":"// TODO: esquema d’implementació","codex.localConversation.closeImagePreview":"Tanca la vista prèvia de la imatge","codex.localConversation.userImageAttachment":"Fitxer adjunt de l’usuari","codex.localTaskRow.archiveTask":"Arxiva el fil","codex.localTaskRow.awaitingApproval":"Esperant aprovació","codex.localTaskRow.awaitingResponse":"S’està esperant una resposta","codex.localTaskRow.confirmArchiveTask":"Confirma","codex.loggedOut.apiKeyPrompt.cancel":"Cancel·la","codex.loggedOut.apiKeyPrompt.confirm":"D’acord","codex.loggedOut.apiKeyPrompt.getKey":"Obtén la clau d’API","codex.loggedOut.apiKeyPrompt.inputLabel":"Escriu la teva clau d’API d’OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Les tasques al núvol s’han inhabilitat amb la clau d’API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Les tasques al núvol s’han inhabilitat amb Copilot i la clau d’API","codex.loggedOut.signIn":"Inicia la sessió a ChatGPT","codex.loggedOut.signIn.cancel":"Cancel·la l’inici de sessió","codex.loggedOut.signInWithCopilot":"Inicia la sessió a GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Utilitza la clau d’API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} eina","codex.mcpTool.collapsedLabel.verb.called":"S’ha trucat","codex.mcpTool.collapsedLabel.verb.calling":"S’està trucant","codex.mcpTool.embeddedResource.contentLabel":"Contingut","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tipus de MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"L’eina no ha tornat cap contingut","codex.mcpTool.rawPayloadHeading":"Contingut sense processar de la crida a l’eina {server}.{tool}","codex.menu.recent":"Recents","codex.menu.seeAllHistory":"Mostra tot l’historial","codex.modelCapacityBanner.headline.noReset":"{modelName} està al màxim de capacitat en aquest moment. Torna-ho a provar més tard o inicia una conversa nova amb un altre model.","codex.modelCapacityBanner.headline.withReset":"{modelName} està al màxim de capacitat en aquest moment. Torna-ho a provar d’aquí a {resetDate} o inicia una conversa nova amb un altre model.","codex.modelCapacityBanner.title":"El model seleccionat està al màxim de capacitat","codex.patch.change.contentsDeleted":"Continguts eliminats","codex.patch.change.created":"Data de creació","codex.patch.change.created-file":"Fitxer creat","codex.patch.change.creating":"S’està creant","codex.patch.change.deleted":"Eliminat","codex.patch.change.deleted-file":"Fitxer suprimit","codex.patch.change.deleting":"S’està suprimint","codex.patch.change.edited":"Modificat","codex.patch.change.edited-file":"Fitxer modificat","codex.patch.change.editing":"S’està modificant","codex.patch.change.noChanges":"No hi ha canvis","codex.patch.change.rejected-add":"S’ha rebutjat","codex.patch.change.rejected-delete":"S’ha rebutjat","codex.patch.change.rejected-edit":"S’ha rebutjat","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} de {total} tasques completades","codex.plan.todoListCreated":"Llista de tasques creada amb {total} tasques","codex.profileDropdown.apiKeyAuth":"Sessió iniciada amb clau d’API","codex.profileDropdown.codexSettings":"Configuració de Codex","codex.profileDropdown.copilotAuth":"Sessió iniciada amb Copilot","codex.profileDropdown.defaultAccountTitle":"Compte predeterminat","codex.profileDropdown.enterBehavior":"{modifierSymbol} + tecla de retorn per enviar indicacions llargues","codex.profileDropdown.enterBehaviorError":"No s’ha pogut actualitzar la configuració","codex.profileDropdown.getPlus":"Actualitza per ampliar els límits","codex.profileDropdown.keyboardShortcuts":"Dreceres de teclat","codex.profileDropdown.language":"Idioma","codex.profileDropdown.languageDefault":"Detecció automàtica","codex.profileDropdown.languageSearchPlaceholder":"Cerca idiomes","codex.profileDropdown.languageUpdateError":"No s’ha pogut actualitzar l’idioma","codex.profileDropdown.logOut":"Tanca la sessió","codex.profileDropdown.mcp":"Configuració d’MCP","codex.profileDropdown.openConfigToml":"Obre config.toml","codex.profileDropdown.openConfigToml.wsl":"Obre config.toml a l’entorn WSL","codex.profileDropdown.openExtensionSettings":"Obre la configuració","codex.profileDropdown.openMcpSettings":"Obre la configuració d’MCP","codex.profileDropdown.openOnStartup":"Obre a l’inici","codex.profileDropdown.openOnStartupError":"No s’ha pogut actualitzar la configuració","codex.profileDropdown.openSkillsSettings":"Obre la configuració d’Habilitats","codex.profileDropdown.personalAccountTitle":"Compte personal","codex.profileDropdown.queueFollowUps":"Posa els seguiments en cua","codex.profileDropdown.queueFollowUpsError":"No s’ha pogut actualitzar la configuració","codex.profileDropdown.readDocs":"Llegeix la documentació","codex.profileDropdown.readSkillsDocs":"Llegeix la documentació","codex.profileDropdown.runInWsl":"Executa a WSL","codex.profileDropdown.runInWslError":"No s’ha pogut actualitzar la configuració","codex.profileDropdown.runInWslTooltip":"Executa Codex a WSL. Recomanat per augmentar la seguretat de l’entorn aïllat i millorar el rendiment.","codex.profileDropdown.settings":"Configuració d’IDE","codex.profileDropdown.settingsPage":"Configuració","codex.profileDropdown.signInWithOpenAI":"Inicia la sessió a ChatGPT","codex.profileDropdown.skills":"Configuració d’Habilitats","codex.profileDropdown.switchToCopilotAccount":"Utilitza el compte de Copilot","codex.profileDropdown.switchToOpenAIAccount":"Utilitza el compte d’OpenAI","codex.profileDropdown.todoCodelens":"Arregla els comentaris TODO","codex.profileDropdown.todoCodelensError":"No s’ha pogut actualitzar la configuració","codex.profileDropdown.windowsDocumentation":"Documentació de Windows","codex.profileFooter.signedInFallback":"Configuració","codex.profileFooter.upgrade":"Actualitza","codex.recentTasksMenu.clearSearch":"Elimina la cerca","codex.recentTasksMenu.cloud":"Tasques al núvol","codex.recentTasksMenu.count":"{count, plural, =0 {No hi ha tasques en curs} one {# tasca en curs} many {# tasques en curs} other {# tasques en curs}}","codex.recentTasksMenu.empty":"Encara no hi ha cap fil","codex.recentTasksMenu.errorCloud":"No s’han pogut carregar les tasques.","codex.recentTasksMenu.errorCloud.inline":"No s’han pogut carregar les tasques al núvol.","codex.recentTasksMenu.filterAll":"Tots","codex.recentTasksMenu.filterCloudTasks":"Filtra les tasques al núvol","codex.recentTasksMenu.filterTooltip":"Filtra les tasques per entorn","codex.recentTasksMenu.local":"Tasques locals","codex.recentTasksMenu.recent":"Totes les tasques","codex.recentTasksMenu.search":"Cerca les tasques recents","codex.recentTasksMenu.searchEmpty":"No hi ha resultats","codex.recentTasksMenu.tooltip":"Historial de tasques","codex.recentTasksMenu.trigger":"Tasques recents. {count, plural, one {# en curs} many {# en curs} other {# en curs}}","codex.remoteConversation.applyDiff.applyCta":"Aplica els canvis","codex.remoteConversation.applyDiff.dropdownTitle":"Aplica els canvis a una branca local","codex.remoteConversation.applyDiff.revertCta":"Reverteix els canvis","codex.remoteConversation.closeImagePreview":"Tanca la vista prèvia de la imatge","codex.remoteConversation.codexCloudTask":"Estàs veient una tasca a <u>Codex Cloud</u>","codex.remoteConversation.errorWithMessage":"Error: {message}","codex.remoteConversation.loadingImage":"S’està carregant la imatge","codex.remoteConversation.openInWeb":"Obre al web","codex.remoteConversation.streaming":"Primers passos","codex.remoteConversation.turnFailed":"S’ha produït un error durant la tasca","codex.remoteConversation.turnTab.loading":"Intent {number}","codex.remoteConversation.turnTab.title":"Intent {number}","codex.remoteConversation.userImageAttachment":"Fitxer adjunt de l’usuari","codex.remoteConversation.viewPreviousTurns":"Obre al web","codex.remoteConversation.viewPreviousTurns.buttonText":"Obre","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Obre al web","codex.review.copyGitApplyCommand":"Copia l’ordre git apply","codex.review.copyGitApplyCommand.toast":"S’ha copiat l’ordre git apply al porta-retalls","codex.review.diffTooLarge.description":"Aquest diff és massa gran per mostrar-lo a Revisió.","codex.review.diffTooLarge.title":"El diff és massa gran per mostrar-lo","codex.review.expandOrCollapseDiffButton.collapse":"Anul·la tots els diffs","codex.review.expandOrCollapseDiffButton.expand":"Amplia tots els diffs","codex.review.expandOrCollapseDiffMenu.collapse":"Anul·la tots els diffs","codex.review.expandOrCollapseDiffMenu.expand":"Amplia tots els diffs","codex.review.fileSearch.clear":"Esborra el filtre de fitxer","codex.review.fileSearch.empty":"No hi ha fitxers que coincideixin amb el filtre actual.","codex.review.fileSearch.label":"Filtra fitxers","codex.review.fileSearch.placeholder":"S’estan filtrant fitxers…","codex.review.filesChanged":"{num, plural, =0 {No ha canviat cap fitxer} one {# fitxer canviat} many {# fitxers canviats} other {# fitxers canviats}}","codex.review.find.loadMore":"Carrega més coincidències","codex.review.fullReview.hideFileTree":"Oculta l’arbre de fitxers","codex.review.fullReview.showFileTree":"Mostra l’arbre de fitxers","codex.review.header.moreOptions":"Opcions de previsualització","codex.review.largeDiff.banner":"S’ha detectat un diff gran: es mostra un fitxer a la vegada.","codex.review.loadFullFiles.disable":"No carreguis fitxers complets","codex.review.loadFullFiles.enable":"Carrega fitxers complets","codex.review.noDiff":"Els canvis de fitxer apareixeran aquí","codex.review.noDiff.gitInit.createRepository":"Crea un repositori de git","codex.review.noDiff.gitInit.creating":"S’està creant…","codex.review.noDiff.gitInit.error":"Ha fallat la inicialització de Git: {message}","codex.review.noDiff.gitInit.success":"S’ha creat un repositori de Git","codex.review.noDiff.gitRepoRequired.description":"Fes seguiment i desfés canvis en aquest projecte.","codex.review.noDiff.gitRepoRequired.title":"Crea un repositori de Git","codex.review.noDiff.orNoLongerAvailable":"o els últims diffs ja no estan disponibles","codex.review.noDiff.reverted":"L’última versió s’ha revertit","codex.review.noDiff.revertedOrCommitted":"L’última versió s’ha revertit o s’ha confirmat","codex.review.refreshGitQueries":"Actualitza","codex.review.revert.file.error":"No s’ha pogut revertir {path}","codex.review.revert.file.partialSuccess":"S’ha revertit parcialment {path}","codex.review.revert.file.success":"S’ha revertit {path}","codex.review.revert.hunk.error":"No s’ha pogut revertir el fragment {hunkNumber} a {path}","codex.review.revert.hunk.partialSuccess":"S’ha revertit parcialment el fragment {hunkNumber} a {path}","codex.review.revert.hunk.success":"S’ha revertit el fragment {hunkNumber} a {path}","codex.review.revert.section.error":"No s’ha pogut revertir la secció","codex.review.revert.section.partialSuccess":"S’ha revertit parcialment la secció","codex.review.revert.section.success":"S’ha revertit la secció","codex.review.revertDialog.cancel":"Cancel·la","codex.review.revertDialog.confirm":"Confirma","codex.review.revertDialog.message":"Aquesta acció elimina tots els canvis.","codex.review.revertDialog.skip":"No m’ho tornis a preguntar","codex.review.revertDialog.title":"Vols revertir els canvis?","codex.review.richPreview.disable":"Inhabilita la previsualització enriquida","codex.review.richPreview.enable":"Habilita la previsualització enriquida","codex.review.source.cloud":"Canvis al núvol","codex.review.source.local.all":"Tots els canvis de branca","codex.review.source.local.lastTurn":"Últims canvis de gir","codex.review.source.local.uncommitted":"Canvis no confirmats","codex.review.source.worktree":"Canvis de l’arbre de treball sense confirmar","codex.review.stageFilter.empty.staged.description":"Accepta els canvis per preparar-los","codex.review.stageFilter.empty.staged.title":"No hi ha canvis preparats","codex.review.stageFilter.empty.unstaged.description":"Els canvis de codi apareixeran aquí","codex.review.stageFilter.empty.unstaged.title":"No hi ha canvis preparats","codex.review.stageFilter.staged":"Desats a la pila","codex.review.stageFilter.staged.count":"Desats a la pila · {count}","codex.review.stageFilter.unstaged":"No desats a la pila","codex.review.stageFilter.unstaged.count":"No desats a la pila · {count}","codex.review.switchToSplit":"Canvia per dividir el diff","codex.review.switchToUnified":"Canvia a diff unificat","codex.review.toggleDiffView":"Activa la vista del diff","codex.review.wordDiffs.disable":"Inhabilita els diffs de paraules","codex.review.wordDiffs.enable":"Habilita els diffs de paraules","codex.review.wrap.disable":"Inhabilita l’ajust de línia","codex.review.wrap.enable":"Habilita l’ajust de línia","codex.section.patch.missing":"No s’ha pogut apedaçar aquesta secció.","codex.shell.collapse":"Redueix el shell","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"S’ha copiat el contingut del shell","codex.shell.copy.copyTooltip":"Copia el contingut del shell","codex.shell.copyCommand":"Copia l’ordre","codex.shell.copyOutput":"Copia la sortida","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"Amplia el shell","codex.shell.name":"Shell","codex.shell.noOutput":"Sense sortida","codex.signInFailed.message":"Error d’inici de sessió: {rawMessage}","codex.stories.toast.show":"Mostra la notificació emergent","codex.stories.tooltip.basic":"Això és un globus","codex.stories.tooltip.hoverMe":"Passa’m per sobre","codex.stories.tooltip.largerOffset":"Aquest globus té un desplaçament més llarg","codex.stories.tooltip.offsetButton":"Desplaçament més llarg","codex.stories.tooltip.shortcutButton":"Amb drecera","codex.stories.tooltip.withShortcut":"Commuta el terminal","codex.taskRow.title":"Nou fil","codex.taskRowLayout.confirm":"Confirma","codex.threadFindBar.chatFilter":"Cerca xat","codex.threadFindBar.close":"Tanca la cerca","codex.threadFindBar.diffFilter":"Cerca diffs","codex.threadFindBar.label":"Cerca en un fil","codex.threadFindBar.nextResult":"Resultat següent","codex.threadFindBar.noResults":"0 resultats","codex.threadFindBar.placeholder":"Cerca un fil…","codex.threadFindBar.placeholder.extension":"Cerca un fil…","codex.threadFindBar.placeholder.review":"Cerca diffs…","codex.threadFindBar.placeholder.review.extension":"Cerca diffs…","codex.threadFindBar.previousResult":"Resultat anterior","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fitxer canviat} many {# fitxers canviats} other {# fitxers canviats}}","codex.unifiedDiff.inlineLargeFile":"Massa gran per renderitzar en línia","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"–{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Desfés","codex.unifiedDiff.revertPatchError":"No s’han pogut revertir els canvis","codex.unifiedDiff.revertPatchSuccess":"S’han revertit els canvis","codex.unifiedDiff.reviewChangesSuffix":"canvis","codex.unifiedDiff.reviewShort":"Revisa","codex.unifiedDiff.viewDiffTooltip":"Revisa","codex.upsellBanner.business.headline":"Per ampliar l’accés, envia ara una sol·licitud a l’administrador, o espera fins {resetDate}.","codex.upsellBanner.cbp.headline":"Amplia l’accés ara enviant una sol·licitud a l’administrador.","codex.upsellBanner.cta.addCredits":"Afegeix crèdits","codex.upsellBanner.cta.upgradeAccount":"Actualitza","codex.upsellBanner.cta.viewUsage":"Mostra l’ús","codex.upsellBanner.free.trialHeadline":"El teu límit es restablirà el {resetDate}. Per continuar utilitzant Codex i accedir a GPT-5.3-Codex, inicia avui la prova gratuïta de Plus. ","codex.upsellBanner.freeOrGo.headline":"El límit es restableix el {resetDate}. Per continuar utilitzant Codex, actualitza a Plus avui.","codex.upsellBanner.general.headline":"El límit de la tarifa es restableix el {resetDate}.","codex.upsellBanner.general.title":"Ja no pots enviar missatges Codex","codex.upsellBanner.go.trialHeadline":"El teu límit es restablirà el {resetDate}. Per continuar utilitzant Codex, inicia avui la prova gratuïta de Plus. ","codex.upsellBanner.plus.headline":"El límit de la tarifa es restableix el {resetDate}. Per continuar utilitzant Codex, afegeix crèdits o actualitza a Pro avui.","codex.upsellBanner.pro.headline":"El límit de la tarifa es restableix el {resetDate}. Afegeix crèdits per continuar utilitzant Codex ara.","codex.userMessage.autoResolveSync":"Resol automàticament els conflictes","codex.userMessage.commentCount":"{count, plural, one {# comentari} many {# comentaris} other {# comentaris}}","codex.userMessage.copiedAriaLabel":"Copiat","codex.userMessage.copiedTooltip":"Copiat","codex.userMessage.copyAriaLabel":"Copia el missatge","codex.userMessage.copyTooltip":"Copia","codex.userMessage.implementPlan":"Implementa un pla","codex.userMessage.noContent":"(No hi ha contingut)","codex.userMessage.priorConversation":"Fa referència a una conversa prèvia","codex.userMessage.reviewMode":"Mode de revisió","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"per a {query}","codex.webSearch.summary.verb.completed":"S’ha cercat al web","codex.webSearch.summary.verb.inProgress":"S’està cercant al web","codex.windowsInstallWslBanner.dismiss":"Ignora","codex.windowsInstallWslBanner.installWslCta":"Habilita l’entorn de proves","codex.windowsInstallWslBanner.learnMore":"Més informació","codex.windowsSandboxBanner.content":"El mode agent utilitza un entorn de proves experimental a Windows per limitar l’accés al sistema de fitxers i a la xarxa. {sandboxLink}","codex.windowsSandboxBanner.title":"Habilita l’entorn de proves per al mode Agent","codex.windowsSubDropdown.windowsSandbox":"Entorn de proves de Windows","codex.windowsSubDropdown.windowsSettings":"Configuració de Windows","codexUpgradeModal.body":"El nostre últim model de programació agencial d’avantguarda: més intel·ligent, més ràpid i més capacitat per fer tasques tècniques generals. {link}","codexUpgradeModal.close":"Tanca","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Més informació","codexUpgradeModal.title":"Et presentem GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Prova GPT-5.3-Codex ja","codexUpgradeModal.useExistingModel":"Continua amb el model actual","commentAttachments.numComments":"{count, plural, one {# comentari} many {# comentaris} other {# comentaris}}","commentAttachments.removeAriaLabel":"Elimina els comentaris adjunts","common.close":"Tanca","composer.addContext.openFilePickerError":"No es pot obrir el selector de fitxers","composer.addContextDropdown.ariaLabel":"Afegeix fitxers i més","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Afegeix fitxers i més","composer.addPhotosAndFiles":"Afegeix fotos i fitxers","composer.atMentionList.emptyQuery":"Escriu per cercar fitxers","composer.atMentionList.loading":"S’està cercant…","composer.atMentionList.noResults":"No hi ha resultats","composer.attemptsSelector.option":"{count, plural, one {# versió} many {# versions} other {# versions}}","composer.attemptsSelector.tooltip":"Nombre d’intents paral·lels que ha de fer Codex","composer.attemptsSelector.trigger":"{count}×","composer.backgroundTerminals.stop":"Atura","composer.cloudFollowUp.cloud":"Núvol","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"On s’hauria d’executar aquest seguiment?","composer.cloudTaskCreationError":"Error en crear la tasca al núvol","composer.cloudTaskError":"Error en crear la tasca","composer.contextWindow.autoCompactionTooltipLine1":"Codex compacta automàticament el context","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Finestra de context:","composer.contextWindowUsageStatusFull":"{usage} % ple","composer.contextWindowUsageStatusLeft":"{usage} % utilitzat ({remaining} % restant)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens utilitzats","composer.customCliTooltip":"S’està fent servir un executable CLI personalitzat","composer.dictation.aria":"Dicta","composer.dictation.cancel.aria":"Atura el dictat","composer.dictation.cancel.tooltip":"Atura el dictat","composer.dictation.startError":"No s’ha pogut iniciar el dictat","composer.dictation.submit.aria":"Transcriu i envia","composer.dictation.submit.tooltip":"Transcriu i envia","composer.dictation.tooltip":"Mantén premut per dictar","composer.dictation.transcribeError":"No s’ha pogut transcriure l’àudio","composer.dictation.unsupported":"El dictat no està disponible en aquest dispositiu","composer.dropOverlay.holdShift":"Mantén {key} per deixar-lo anar","composer.dropOverlay.shiftKey":"Majúscules","composer.environmentSelector.createNew":"Crea’n un de nou","composer.environmentSelector.error":"Error en carregar els entorns","composer.environmentSelector.goBack":"Torna al compositor","composer.environmentSelector.title":"Selecciona un entorn","composer.environmentSelector.tooltip":"Selecciona un entorn al núvol","composer.feedbackSlashCommand.title":"Comentaris","composer.filePicker.selectFile":"Selecciona un fitxer","composer.filePicker.selectFiles":"Selecciona fitxers","composer.followerTooltip":"Per continuar, torna a la finestra on va començar la conversa.","composer.footer.branchSwitch.checkoutError":"No s’ha pogut canviar la branca: {message}","composer.footer.branchSwitch.createAndCheckout":"Crea i revisa una branca nova…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Confirma els canvis per crear i revisar una branca nova","composer.footer.branchSwitch.createBranchError":"No s’ha pogut crear la branca: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nom de la branca","composer.footer.branchSwitch.createDialog.branchExistsError":"La branca ja existeix.","composer.footer.branchSwitch.createDialog.close":"Tanca","composer.footer.branchSwitch.createDialog.createAndCheckout":"Crea i revisa","composer.footer.branchSwitch.createDialog.placeholder":"branca nova","composer.footer.branchSwitch.createDialog.title":"Crea i revisa una branca","composer.footer.branchSwitch.createDialog.trailingSlashError":'El nom de la branca no pot acabar en "/".',"composer.footer.branchSwitch.tooltip":"Canvia de branca","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Confirma els canvis a {fileCount, plural, one {# fitxer} many {# fitxers} other {# fitxers}} per poder revisar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"canvis a {fileCount, plural, one {# fitxer} many {# fitxers} other {# fitxers}} per revisar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Cancel·la","composer.footer.branchSwitch.uncommittedDialog.commit":"Confirma i canvia de branca…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Els canvis als fitxers següents se sobreescriurien en fer la revisió:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Confirma els canvis per continuar","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"la branca seleccionada","composer.footer.branchSwitch.uncommittedDialog.title":"Confirma els canvis per canviar de branca","composer.footer.branchSwitch.uncommittedSummaryPrefix":"No confirmat: {fileCount, plural, one {# fitxer} many {# fitxers} other {# fitxers}}","composer.forkSlashCommand.description":"Bifurca aquest fil cap al repositori local o crea’n un de nou en un arbre de treball.","composer.forkSlashCommand.option.local.description":"Continua en un fil local nou","composer.forkSlashCommand.option.local.title":"Bifurca cap al repositori local","composer.forkSlashCommand.option.worktree.description":"Continua en un arbre de treball nou","composer.forkSlashCommand.option.worktree.title":"Bifurca en un arbre de treball nou","composer.forkSlashCommand.title":"Bifurca","composer.ideContextIndicator":"Context de l’IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Inclou context de l’IDE","composer.ideContextIndicator.tooltipToggle":"per canviar","composer.ideContextSlashCommand.disableDescription":"Desactiva el context de l’IDE","composer.ideContextSlashCommand.enableDescription":"Inclou la selecció actual, els fitxers oberts i altre context del teu IDE","composer.ideContextSlashCommand.title":"Context de l’IDE","composer.imageInputsUnsupported":"Aquest model no permet entrades d’imatges. Prova un model diferent.","composer.imageUploadFailed":"No s’ha pogut pujar la imatge","composer.includeIdeContextDropdown":"Inclou un entorn de desenvolupament integral","composer.includeIdeContextDropdown.ariaLabel":"Inclou un entorn de desenvolupament integral","composer.localCwdDropdown.addWorkspaceRoot":"Afegeix un projecte nou","composer.localCwdDropdown.noActiveRoot":"Selecciona el teu projecte","composer.localCwdDropdown.noResults":"No s’ha trobat cap carpeta","composer.localCwdDropdown.title":"Selecciona el teu projecte","composer.localTaskError":"Error en iniciar la conversa","composer.mcpSlashCommand.description":"Mostra l’estat del servidor MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"No està autentificat","composer.mcpStatus.authOauth":"Autentificat (OAuth)","composer.mcpStatus.authToken":"Autentificat (clau d’API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Tanca","composer.mcpStatus.disabled":"Inhabilitades","composer.mcpStatus.emptyLabel":"Servidors:","composer.mcpStatus.emptyValue":"No hi ha servidors MCP configurats","composer.mcpStatus.enabled":"Habilitat","composer.mcpStatus.errorLabel":"Estat:","composer.mcpStatus.errorValue":"No s’ha pogut carregar l’estat del MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Canvia de mode","composer.mode.agentMode.custom":"Personalitzat","composer.mode.agentMode.custom.dropdownLabel":"Personalitzat","composer.mode.agentMode.custom.option":"Personalitzat (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personalitzat (config.toml)","composer.mode.agentMode.customInfo.cancel":"Cancel·la","composer.mode.agentMode.customInfo.cli":"Pots canviar la configuració al CLI o modificant directament el fitxer.","composer.mode.agentMode.customInfo.confirm":"Utilitza el mode personalitzat","composer.mode.agentMode.customInfo.description":"El mode personalitzat aplica les polítiques d’aprovació i entorn aïllat definides al teu fitxer<link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Més informació sobre com configurar les polítiques d’aprovació i entorn aïllat a la<link>documentació de l’entorn d’execució</link>.","composer.mode.agentMode.customInfo.refresh":"Els canvis s’aplicaran el proper cop que s’executi l’agent.","composer.mode.agentMode.customInfo.title":"Com funciona el mode personalitzat","composer.mode.agentMode.fullAccess":"Agent (accés complet)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (accés complet)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (accés complet)","composer.mode.agentMode.fullAccessConfirm.caution":"Ves amb compte quan habilitis l’accés complet, ja que augmenta en gran mesura el risc de pèrdua de dades, filtració o comportament inesperat.","composer.mode.agentMode.fullAccessConfirm.confirm":"Sí, vull continuar igualment","composer.mode.agentMode.fullAccessConfirm.description":"Quan Codex funciona amb accés complet, pot modificar qualsevol fitxer del teu ordinador i executar ordres a la xarxa sense la teva aprovació.","composer.mode.agentMode.fullAccessConfirm.goBack":"Cancel·la","composer.mode.agentMode.fullAccessConfirm.title":"Vols permetre l’accés complet?","composer.mode.agentMode.readOnly":"Xat","composer.mode.agentMode.readOnly.dropdownLabel":"Xat","composer.mode.agentMode.readOnly.optionLabel":"Xat","composer.mode.agentMode.tooltip":"Canvia de mode","composer.mode.agentMode.tooltip.auto":"Llegeix i modifica fitxers i executa ordres.","composer.mode.agentMode.tooltip.custom":"Utilitza les polítiques d’aprovació i entorn aïllat més actualitzades definides a config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex pot modificar fitxers fora del projecte i executar ordres amb accés a la xarxa. Ves amb compte en utilitzar-lo.","composer.mode.agentMode.tooltip.readOnly":"Cal aprovació per modificar fitxers i executar ordres.","composer.mode.cloud.tooltip":"Treballa en un entorn al núvol","composer.mode.contactAdmin":"Per obtenir més accés, contacta amb el teu administrador","composer.mode.local":"Local","composer.mode.local.learnMore":"Més informació","composer.mode.local.model.custom":"Personalitzat","composer.mode.local.model.loadingModel":"S’està carregant el model","composer.mode.local.model.selecrReasoningEffort":"Selecciona el raonament","composer.mode.local.model.selectModel":"Selecciona el model","composer.mode.local.model.tooltip":"Tria un model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Alt","composer.mode.local.reasoning.low.label":"Baix","composer.mode.local.reasoning.medium.label":"Mitjà","composer.mode.local.reasoning.minimal.label":"Mínim","composer.mode.local.reasoning.none.label":"Cap","composer.mode.local.reasoning.xhigh.label":"Molt alt","composer.mode.localRemoteWhereRun":"Selecciona on vols executar la tasca","composer.mode.newTask.header":"Continua a","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Límits restants","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Límit de {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {límit setmanal} many {límit de {weeks} setmanes} other {límit de {weeks} setmanes}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Cada setmana} many {Cada {weeks} setmanes} other {Cada {weeks} setmanes}}","composer.mode.remote.connectToCloud":"Connecta Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Configura un entorn a través de Codex web per habilitar l’enviament de tasques al núvol","composer.mode.remote.selectEnvironment":"Selecciona un entorn","composer.mode.remote.sendToCloud":"Envia al núvol","composer.mode.remote.setupViaWeb":"Configura un entorn a través de Codex web","composer.mode.runInCloud":"Núvol","composer.mode.runInCloudWithEnvironment":"Núvol · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Treballa en un entorn al núvol","composer.mode.segmentedToggle.local.tooltip":"Treballa en el teu projecte local","composer.mode.segmentedToggle.worktree.tooltip":"Treballa en un arbre de treball paral·lel","composer.mode.upgradeToPlus":"Actualitza a Plus","composer.mode.upgradeToPro":"Actualitza a Pro","composer.mode.workLocally":"Projecte local","composer.mode.workLocally.currentBranchFallback":"la teva branca","composer.mode.workLocally.tooltip":"Treballa a {branchName}","composer.mode.worktree":"Arbre de treball nou","composer.mode.worktree.submoduleWarning":"Aquest repositori té submòduls de git. La creació de l’arbre de treball pot fallar","composer.mode.worktree.tooltip":"Crea una còpia del teu projecte local per treballar-hi en paral·lel","composer.mode.worktreeSegment":"Arbre de treball","composer.modelChangeDuringConversationWarning.toast":"Canviar de model enmig d’una conversa en pot degradar el rendiment.","composer.newChat.heading.browser":"Què programem ara?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex utilitza el permís definit a config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex té accés complet al teu ordinador (risc elevat)","composer.permissionsDropdown.custom.label":"Personalitzat (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personalitzat (config.toml)","composer.permissionsDropdown.default.label":"Permisos predeterminats","composer.permissionsDropdown.default.optionLabel":"Permisos predeterminats","composer.permissionsDropdown.default.tooltip":"Codex executa les ordres automàticament en un entorn de proves","composer.permissionsDropdown.disabled.requirements":"Els permisos estan bloquejats per requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"L’accés complet està deshabilitat per requirements.toml","composer.permissionsDropdown.fullAccess.label":"Accés complet","composer.permissionsDropdown.fullAccess.optionLabel":"Accés complet","composer.permissionsDropdown.trigger.tooltip":"Canvia els permisos","composer.personalitySlashCommand.description.friendly":"Amable, col·laboratiu i útil","composer.personalitySlashCommand.description.pragmatic":"Concís, centrat en la feina i directe","composer.personalitySlashCommand.label.friendly":"Amistós","composer.personalitySlashCommand.label.pragmatic":"Pragmàtic","composer.personalitySlashCommand.notApplicableSuffix":"(No s’aplica al model actual)","composer.personalitySlashCommand.title":"Personalitat","composer.placeholder.cloudFollowUp.directFollowUp":"Seguiment d’aquesta tasca al núvol","composer.placeholder.cloudFollowUp.local":"Crea una tasca local nova que faci referència a aquesta tasca al núvol","composer.placeholder.cloudFollowUp.workingTree":"Crea una tasca al núvol nova que inclogui el codi actual i faci referència a aquesta tasca","composer.placeholder.localFollowUp.cloud":"Seguiment en una nova tasca al núvol","composer.placeholder.localFollowUp.locally":"Demana canvis de seguiment","composer.placeholder.newTask.cloud":"Demana a Codex que faci alguna cosa al núvol","composer.placeholder.newTask.doAnything":"Demana a Codex que faci alguna cosa","composer.placeholder.newTask.locally":"Demana qualsevol cosa a Codex: @ per afegir fitxers, / per a ordres","composer.planModeDropdown":"Mode del pla","composer.planModeDropdown.ariaLabel":"Mode del pla","composer.planModeIndicator":"Pla","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Crea un pla amb Codex","composer.planModeIndicator.tooltipToggle":"per canviar","composer.planSlashCommand.disableDescription":"Desactiva el mode del pla","composer.planSlashCommand.enableDescription":"Activa el mode del pla","composer.planSlashCommand.title":"Mode del pla","composer.priorContext.label":"Context anterior","composer.priorContext.removeAriaLabel":"Elimina el context anterior","composer.queuedMessage.delete":"Suprimeix el missatge en cua","composer.queuedMessage.edit":"Modifica el missatge","composer.queuedMessage.more":"Accions del missatge en cua","composer.queuedMessage.sendNow":"Orienta","composer.queuedMessage.sendNowTooltip":"Envia’l ara sense interrompre la feina","composer.queuedMessage.turnOff":"Desactiva la cua","composer.reasoningEffort.local.reasoning.tooltip":"Selecciona l’esforç de raonament","composer.remote.branchStartingPoint":"Des de quina branca hauria d’iniciar-se aquesta tasca?","composer.remote.branchesSectionHeading":"Branques","composer.remote.currentEditsSuffix.followUp":"Crea una nova tasca que faci referència a aquesta tasca al núvol.","composer.remote.currentEditsSuffix.useLocal":"amb canvis de codi locals","composer.remote.directFollowUp":"No utilitzis els canvis locals","composer.remote.errorLoadingBranches":"Error en carregar les seccions","composer.remote.fromBranch":"De {branch}","composer.remote.fromCurrentBranch":"De {branch} (actual)","composer.remote.loadingMoreBranches":"S’està carregant…","composer.remote.localFileStateHeading":"Estat del fitxer local","composer.remote.localWorkingTree":"Utilitza els canvis locals","composer.remote.startingPoint":"Des de quin codi hauria d’iniciar-se aquesta tasca?","composer.reviewMode.branches.error":"No s’han pogut carregar les branques","composer.reviewMode.branches.retry":"Torna-ho a provar","composer.reviewMode.gitRoot.error":"No s’ha trobat l’arrel de Git","composer.reviewMode.option.baseBranch.simple":"Revisa amb una branca base","composer.reviewMode.option.unstaged.simple":"Revisa els canvis no confirmats","composer.reviewMode.quickReviewError":"No s’ha pogut iniciar la revisió del codi.","composer.reviewMode.title":"Revisió del codi","composer.sandboxButton.unlock.disabled.tooltip":"L’accés complet està deshabilitat per requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex pot utilitzar un entorn de proves experimental a Windows per limitar l’accés al sistema de fitxers i a la xarxa. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Vols habilitar l’entorn de proves de Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Utilitza només lectura","composer.searchEnvironments":"Cerca entorns","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"S’estan carregant les habilitats…","composer.skillMentionList.noResults":"No s’han trobat habilitats","composer.slashCommands.cloudEnvironment.title":"Entorn al núvol","composer.slashCommands.dialogLabel":"Menú d’ordres amb /","composer.slashCommands.dialogTitle":"Ordres amb /","composer.slashCommands.disabledTooltip":"Inicia una conversa nova per utilitzar les ordres amb /","composer.slashCommands.inputPlaceholder":"Cerca","composer.slashCommands.noResults":"No hi ha ordres","composer.slashCommands.skillsGroup":"Habilitats","composer.slashCommands.tooltip":"Cerca ordres amb /","composer.status.close":"Tanca","composer.statusPlain.alertLabel":"Alerta:","composer.statusPlain.alertValue":"Queda un {remaining} % a {window}","composer.statusPlain.contextLabel":"Context:","composer.statusPlain.contextTotal":"{count}.000","composer.statusPlain.contextValueMetadata":"({used} utilitzat / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % restant","composer.statusPlain.heading":"Estat","composer.statusPlain.modelRateLimitSectionLabel":"Límit de {modelName}:","composer.statusPlain.rateLimitDays":"Límit de {count} dies","composer.statusPlain.rateLimitFallbackLabel":"Límit de la tarifa:","composer.statusPlain.rateLimitHours":"Límit de {count} hores","composer.statusPlain.rateLimitLabelBase":"Límit de la tarifa","composer.statusPlain.rateLimitMinutes":"Límit de {count} minuts","composer.statusPlain.rateLimitPercent":"{remaining} % restant","composer.statusPlain.rateLimitReset":"es restableix a les {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"l’hora de restabliment no està disponible","composer.statusPlain.rateLimitUnavailable":"No disponible","composer.statusPlain.sessionCopiedAriaLabel":"S’ha copiat l’identificador de la sessió","composer.statusPlain.sessionCopiedTooltip":"S’ha copiat l’identificador","composer.statusPlain.sessionCopyAriaLabel":"Copia l’identificador de la sessió","composer.statusPlain.sessionCopyTooltip":"Copia l’identificador","composer.statusPlain.sessionLabel":"Sessió:","composer.statusSlashCommand.description":"Mostra l’identificador del fil, l’ús del context i els límits de la tarifa","composer.statusSlashCommand.title":"Estat","composer.submit.blockedDialogOk":"D’acord","composer.submit.blockedDialogTitle":"No s’ha pogut enviar el missatge","composer.submit.emptyMessage":"Escriu un missatge per començar","composer.submit.imageInputsUnsupported":"Elimina les imatges o canvia de model per enviar aquest missatge.","composer.submit.loadingLocalConfig":"S’està carregant…","composer.submit.missingCloudConfig":"Has de triar un entorn al núvol","composer.submit.missingCloudTurn":"No es pot fer un seguiment d’aquesta tasca","composer.submit.noWorkspace":"Afegeix un projecte per utilitzar-lo a Codex","composer.submit.waitForImageUploads":"S’estan pujant les imatges…","composer.submitButtonTooltip.send":"Envia","composer.submitButtonTooltip.stop":"Atura","composer.worktreeEnvironment.create":"Crea un entorn local","composer.worktreeEnvironment.default":"Entorn predeterminat","composer.worktreeEnvironment.error":"Error en carregar els entorns","composer.worktreeEnvironment.loading":"S’estan carregant els entorns…","composer.worktreeEnvironment.title":"Entorn local","composer.worktreeEnvironment.tooltip":"Selecciona un entorn local","composer.worktreeSetupFailed":"La configuració de l’arbre de treball ha fallat. Consulta .codex/environments per veure un script de configuració.","compoundButton.secondaryAction":"Acció secundària","copyButton.copied":"Copiat","copyButton.copiedAriaLabel":"Copiat","copyButton.copy":"Copia","copyButton.copyAriaLabel":"Copia","copyButton.copyCode":"Copia el codi","diff.actionButton.revertFile":"Reverteix el fitxer","diff.actionButton.revertHunk":"Reverteix","diff.actionButton.revertSection":"Reverteix-ho tot","diff.actionButton.revertSectionLabel":"Reverteix-ho tot","diff.actionButton.stageFile":"Desa el fitxer a la pila","diff.actionButton.stageHunk":"Desa-ho a la pila","diff.actionButton.stageSection":"Desa-ho tot a la pila","diff.actionButton.stageSectionLabel":"Desa-ho tot a la pila","diff.actionButton.unstageFile":"Treu el fitxer de la pila","diff.actionButton.unstageHunk":"Treu de la pila","diff.actionButton.unstageSection":"Treu-ho tot de la pila","diff.actionButton.unstageSectionLabel":"Treu-ho tot de la pila","diff.fileHeader.toggle":"Commuta el diff del fitxer","electron.onboarding.login.apikey.cancel":"Cancel·la","electron.onboarding.login.apikey.continue":"Continua","electron.onboarding.login.apikey.label":"Clau d’API d’OpenAI","electron.onboarding.login.apikey.open":"Introdueix la clau d’API","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"Cancel·la l’inici de sessió","electron.onboarding.login.chatgpt.continue":"Continua amb ChatGPT","electron.onboarding.login.devbox":"Connecta a un SSH remot","electron.onboarding.login.error":"Error d’inici de sessió: {rawMessage}","electron.onboarding.login.snake.start":"Juga al Snake","electron.onboarding.login.sshConfig.cancel":"Cancel·la","electron.onboarding.login.sshConfig.continue":"Continua","electron.onboarding.login.sshConfig.hostnameLabel":"Nom de l’amfitrió SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"La millor manera de crear amb agents","electron.onboarding.login.title":"Et donem la benvinguda a Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continua","electron.onboarding.welcome.doubleLimits.description":"Per celebrar el llançament de l’app de Codex, disposes del doble de límits fins al 2 d’abril.","electron.onboarding.welcome.freego.description":"Codex s’inclou de franc en el teu pla fins al 2 de març; comencem a crear plegats!","electron.onboarding.welcome.new.title.anon":"Et donem la benvinguda!","electron.onboarding.workspace.continue":"Continua","electron.onboarding.workspace.empty":"Afegeix un projecte per continuar.","electron.onboarding.workspace.listLabel":"Projectes disponibles","electron.onboarding.workspace.loading":"Carregant els projectes…","electron.onboarding.workspace.openFolder":"Afegeix un projecte","electron.onboarding.workspace.selectAll":"Selecciona-ho tot","electron.onboarding.workspace.skip":"Omet","electron.onboarding.workspace.skip.error":"No s’ha pogut crear un projecte nou: {message}","electron.onboarding.workspace.skip.error.unknown":"Error desconegut","electron.onboarding.workspace.skipping":"S’està creant un projecte nou…","electron.onboarding.workspace.subtitle":"Codex podrà modificar fitxers i executar ordres a les carpetes seleccionades.","electron.onboarding.workspace.title":"Selecciona un projecte","errorPage.list.checkSettings":"Prova d’actualitzar la configuració d’IDE","errorPage.list.configToml":"Consulta config.toml per si hi ha un error de configuració","errorPage.list.downloadExtension":"Prova de baixar una versió diferent de l’extensió","errorPage.list.runInWsl":"Comprova la configuració per inhabilitar el funcionament a WSL si trobes problemes de compatibilitat","execApprovalRequest.menu.runAlways":"Sí, i no ho tornis a preguntar en aquesta sessió","execApprovalRequest.menu.runAlwaysWithAmendment":"Sí, i no tornis a demanar ordres que comencin amb {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Sí, i no tornis a demanar ordres que comencin amb","execApprovalRequest.menu.runOnce":"Sí","execApprovalRequest.prompt":"Vols executar aquesta ordre?","execApprovalRequest.reject":"No","execFooter.exitCode":"Codi de sortida {code}","execFooter.exitCode.unknown":"desconegut","execFooter.success":"Fet","feedback.dialog.category.badResult":"Mal resultat","feedback.dialog.category.bug":"Error","feedback.dialog.category.goodResult":"Bon resultat","feedback.dialog.category.other":"Altres","feedback.dialog.descriptionPlaceholder":"Descriu el problema aquí","feedback.dialog.dismiss":"Ignora","feedback.dialog.includeLogsLabel":"Inclou els registres de sessió de Codex actuals","feedback.dialog.submit":"Envia","feedback.dialog.submitError":"No hem pogut enviar els teus comentaris. Torna-ho a provar en un altre moment.","feedback.dialog.title":"Comentaris","feedback.dialog.uploadedMessage.existingIssue":"incidència oberta pendent","feedback.dialog.uploadedMessage.openIssue":"obre una incidència de GitHub","feedback.dialog.uploadedMessage.withThread":"S’ha pujat el comentari. Si el problema continua, {openIssueLink} o esmenta l’identificador del fil a {existingIssueLink}:","feedback.dialog.uploadedTitle":"S’ha pujat el comentari","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Retira {filename}","header.back":"Enrere","header.recentChats":"Tasques","header.recentTasks.seeAll":"Mostra-ho tot ({total})","home.header.getPlus":"Obtén Plus","home.hero.letsBuild":"Comencem","homePage.mainContent":"Contingut principal","imageAttachment.defaultName":"imatge","imageAttachment.preview.close":"Tanca la vista prèvia de la imatge","imageAttachment.removeAriaLabel":"Retira {filename}","implementPlanRequest.option.implement":"Sí, implementa aquest pla","implementPlanRequest.prompt":"Vols implementar aquest pla?","inbox.archived.deleteError":"No s’ha pogut suprimir l’execució arxivada","inbox.archived.deleteRun":"Suprimeix l’execució arxivada","inbox.archived.deleteSuccess":"S’ha suprimit el fil arxivat. El pots veure a <settingsLink>Fils arxivats</settingsLink>.","inbox.archived.inlineLabel.auto":"Aquest fil s’ha arxivat automàticament. <learnMoreLink>Més informació</learnMoreLink>","inbox.archived.inlineLabel.manual":"Aquest fil s’ha arxivat.","inbox.archived.noMessageFound":"No s’ha trobat cap missatge","inbox.automations.createError":"No s’ha pogut crear una automatització","inbox.automations.deleteConfirm.cancel":"Cancel·la","inbox.automations.deleteConfirm.confirm":"Suprimir l’automatització","inbox.automations.deleteConfirm.description":"Això suprimirà l’automatització de manera permanent i aturarà qualsevol execució futura.","inbox.automations.deleteConfirm.title":"Vols suprimir {name}?","inbox.automations.deleteError":"No s’ha pogut suprimir l’automatització","inbox.automations.editTooltip":"Modifica l’automatització","inbox.automations.inProgress":"En curs","inbox.automations.new":"Nou","inbox.automations.newToolbar":"Nova automatització","inbox.automations.pauseTooltip":"Pausa l’automatització","inbox.automations.resumeTooltip":"Reprèn l’automatització","inbox.automations.startingNow":"Iniciant ara","inbox.automations.startsIn":"Comença d’aquí a {startTime}","inbox.automations.status.active":"Actiu","inbox.automations.status.paused":"Pausades","inbox.automations.status.runs":"{count} execucions","inbox.automations.status.started":"Iniciada el {date}","inbox.automations.updateError":"No s’ha pogut actualitzar l’automatització","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tots","inbox.filter.ariaLabel":"Filtra els elements de la safata d’entrada","inbox.filter.unread":"No llegits","inbox.list.archived":"Arxivades","inbox.list.inProgress":"En curs","inbox.list.recent":"Completades","inbox.list.upNext":"Programades","inbox.mode.automations":"Automatitzacions","inbox.mode.automations.beta":"Beta","inbox.noDescription":"No s’ha proporcionat cap descripció","inbox.openThread":"Obre el fil","inbox.rightPanel.emptySubtitle":"Automatitza la feina configurant tasques programades","inbox.rightPanel.emptySubtitle.learnMore":"Automatitza la feina configurant fils programats. <link>Més informació</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatització activa} many {# automatitzacions actives} other {# automatitzacions actives}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"No hi ha automatitzacions no llegides","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatització no llegida} many {# automatitzacions no llegides} other {# automatitzacions no llegides}}","inbox.rightPanel.emptyTitle":"No s’ha seleccionat cap element","inbox.rightPanel.noThread":"No hi ha fils per a aquest element","inbox.rightPanel.quickStart.header":"Comença amb una plantilla","inbox.untitled":"Elements de la safata d’entrada sense títol","loadingPage.documentationLink":"documentació","loadingPage.errorDescription":"Codex s’ha bloquejat amb l’error següent:","loadingPage.errorDescription.documentation":'Fes clic a "Torna a carregar" per reiniciar l’extensió de Codex o visita la nostra {documentationLink} si necessites més ajuda.',"loadingPage.errorSignal":"Coses que pots provar:","loadingPage.errorTitle":"S’ha produït un error","loadingPage.openConfigToml":"Obre Config.toml","loadingPage.reload":"Torna a carregar","localConversation.contextCompacted":"El context s’ha compactat automàticament","localConversation.contextCompacting":"El context s’està compactant automàticament","localConversation.forkedFromConversation":"Bifurcat de {threadTitle}","localConversation.merge.autoResolve.failed":"Ha fallat la sol·licitud de resolució automàtica: {error}","localConversation.merge.autoResolve.sent":"S’ha enviat la sol·licitud de resolució automàtica","localConversation.merge.autoResolveMerge.missingConversation":"No s’ha pogut fer la resolució automàtica sense una conversa activa.","localConversation.merge.autoResolveMerge.request":"Resol automàticament els conflictes de fusió","localConversation.modelChanged":"Model canviat de {fromModel} a {toModel}.","localConversation.modelChanged.warning.line1":"Canviar de model enmig d’una conversa en pot degradar el rendiment.","localConversation.modelChanged.warning.line2":"El context es pot compactar automàticament.","localConversation.moveThread.createBranch.label":"Crea una branca","localConversation.moveToLocal.disabled.loading":"S’està carregant…","localConversation.moveToLocal.modal.continue":"Continua","localConversation.moveToLocal.modal.destinationLabel":"Mou-lo a","localConversation.moveToLocal.modal.retry":"Torna-ho a provar","localConversation.moveToWorktree.modal.back":"Enrere","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"La branca ja existeix.","localConversation.moveToWorktree.modal.branchesError":"No s’han pogut carregar les branques","localConversation.moveToWorktree.modal.branchesLoading":"S’estan carregant les branques…","localConversation.moveToWorktree.modal.branchesRetry":"Torna-ho a provar","localConversation.moveToWorktree.modal.continue":"Continua","localConversation.moveToWorktree.modal.retry":"Torna-ho a provar","localConversation.moveToWorktree.modal.trailingSlashError":'El nom de la branca no pot acabar en "/".',"localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"branca nova","localConversation.personalityChanged":"S’ha canviat a la personalitat {personality}","localConversation.planSummary.collapse":"Replega el resum del pla","localConversation.planSummary.collapseTooltip":"Redueix","localConversation.planSummary.download":"Baixa el pla","localConversation.planSummary.expand":"Amplia el resum del pla","localConversation.planSummary.expandTooltip":"Amplia","localConversation.planSummary.openInNewWindow":"Obre","localConversation.planSummary.openInNewWindow.tooltip":"Obre en una finestra nova","localConversation.planSummary.title":"Pla","localConversation.planSummary.titleWriting":"Pla d’escriptura","localConversation.planSummary.viewPlan":"Amplia el pla","localConversation.remoteTaskCreated":"Has creat una {taskLink} a Codex Cloud","localConversation.remoteTaskCreated.task":"tasca","localConversation.scrollToBottomButton":"Desplaça’t al final","localConversation.sync.buttonLabel":"Traspàs a local","localConversation.sync.buttonLabel.tooltip":"Transfereix els canvis entre aquest arbre de treball i la teva còpia local.","localConversation.sync.modal.loading.title":"S’estan traspassant els canvis…","localConversation.sync.modal.noChanges":"No hi ha canvis","localConversation.syncSetup.branchAriaLabel":"Nom de la branca","localConversation.syncSetup.branchName":"Nom de la branca","localConversation.syncSetup.branchPlaceholder.existing":"Selecciona una branca existent","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"S’estan carregant les branques…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Ja s’ha revisat","localConversation.syncSetup.checkoutClean":"Actualment a {branchName}","localConversation.syncSetup.checkoutDirty":"Actualment a {branchName} amb canvis no confirmats","localConversation.syncSetup.checkoutError":"No s’ha pogut revisar la branca: {message}","localConversation.syncSetup.checkoutLabel":"Revisa localment ara","localConversation.syncSetup.checkoutOnLocal":"Traspàs a local","localConversation.syncSetup.checkoutPending":"S’està revisant l’estat local…","localConversation.syncSetup.checkoutUnavailable":"Espai de treball local no disponible","localConversation.syncSetup.checkoutUnknown":"Branca local no disponible","localConversation.syncSetup.continue":"Continua","localConversation.syncSetup.createBranchError":"No s’ha pogut establir la branca de traspàs: {message}","localConversation.syncSetup.error":"Alguna cosa no ha anat bé: {message}","localConversation.syncSetup.error.workingTreeMissing":"No s’ha pogut fer una instantània de l’arbre de treball. Torna a provar el traspàs.","localConversation.syncSetup.mode.ariaLabel":"Selecciona el mode de branca","localConversation.syncSetup.mode.existing":"Branca existent","localConversation.syncSetup.mode.new":"Branca nova","localConversation.syncSetup.noBranches":"No s’ha trobat cap branca","localConversation.syncSetup.overwriteError":"La branca s’ha creat, però no s’ha traspassat del tot. Traspassa-la manualment abans de revisar-la localment.","localConversation.syncSetup.setPrefix":"Estableix el prefix","localConversation.syncSetup.subtitle":"Prova i modifica els canvis de l’arbre de treball localment. <a>Més informació</a>","localConversation.syncSetup.success.checkedOut":"La branca s’ha creat i es revisa localment","localConversation.syncSetup.success.notCheckedOut":"Branca creada","localConversation.syncSetup.title":"Traspassa a una branca local","localConversation.syncWorktreeError.branchAriaLabel":"Nom de la branca","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Tria una branca de traspàs i torna a provar de carregar els canvis.","localConversation.syncWorktreeError.branchSetup.title":"Actualitza la branca","localConversation.syncWorktreeError.branchUpdate.cta":"Actualitza i torna-ho a provar","localConversation.syncWorktreeError.branchUpdate.error":"No s’ha pogut actualitzar la branca: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Alguna cosa no ha anat bé: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"La branca no s’ha revisat en cap arbre de treball.","localConversation.syncWorktreeV2.applyUncommitted":"Aplica","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Has de revisar la branca localment per aplicar els canvis no confirmats","localConversation.syncWorktreeV2.branches.empty":"No s’ha trobat cap branca","localConversation.syncWorktreeV2.branches.loading":"S’estan carregant les branques…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Canvia la branca de traspàs","localConversation.syncWorktreeV2.changeBranch.error":"No s’ha pogut canviar la branca de traspàs: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Error en aplicar","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Error en sobreescriure l’arbre de treball","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Error en sobreescriure localment","localConversation.syncWorktreeV2.commandError.back":"Enrere","localConversation.syncWorktreeV2.commandError.body":"Una ordre de git ha fallat durant el traspàs. Revisa el resultat i torna-ho a provar.","localConversation.syncWorktreeV2.commandError.retry":"Torna-ho a provar","localConversation.syncWorktreeV2.description":"Traspassa els canvis entre local i aquest arbre de treball <a>Més informació</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Selecciona la direcció del traspàs","localConversation.syncWorktreeV2.error.generic":"Alguna cosa no ha anat bé durant el traspàs. Torna-ho a provar.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"Calculant els canvis","localConversation.syncWorktreeV2.noChanges.summary":"No hi ha canvis","localConversation.syncWorktreeV2.overwrite.local":"Sobreescriu localment","localConversation.syncWorktreeV2.overwrite.worktree":"Sobreescriu l’arbre de treball","localConversation.syncWorktreeV2.partial.action.applyFailed":"No s’han pogut aplicar els canvis","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"No s’han pogut sobreescriure els canvis locals","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"No s’han pogut sobreescriure els canvis de l’arbre de treball","localConversation.syncWorktreeV2.partial.appliedLabel":"Aplicats","localConversation.syncWorktreeV2.partial.back":"Enrere","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resol els conflictes i torna-ho a provar.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflictes","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fitxer} many {# fitxers} other {# fitxers}}","localConversation.syncWorktreeV2.partial.retry":"Torna-ho a provar","localConversation.syncWorktreeV2.partial.skippedLabel":"Omès","localConversation.syncWorktreeV2.stateFailed.generic":"Alguna cosa no ha anat bé en recuperar els canvis de l’arbre de treball que calia traspassar. Torna-ho a provar un altre cop.","localConversation.syncWorktreeV2.stateFailed.title":"Error en carregar els canvis de l’arbre de treball","localConversation.syncWorktreeV2.statusError.diffUnknown":"Error en carregar els canvis de l’arbre de treball.","localConversation.syncWorktreeV2.statusError.retry":"Torna-ho a provar","localConversation.syncWorktreeV2.statusError.title":"No s’han pogut carregar els canvis de la branca local","localConversation.syncWorktreeV2.statusError.unknown":"L’estat de la branca no està disponible actualment. Torna-ho a provar.","localConversation.syncWorktreeV2.success.apply":"Els canvis s’han aplicat correctament","localConversation.syncWorktreeV2.success.overwrite":"El traspàs s’ha completat correctament","localConversation.syncWorktreeV2.title":"Traspassa els canvis","localConversation.syncWorktreeV2.worktreeLabel":"Arbre de treball","localConversation.userInputRequest.inProgress":"Formulant {count, plural, one {pregunta} many {preguntes} other {preguntes}}","localConversation.userInputRequest.noAnswer":"No s’ha proporcionat cap resposta","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"S’ha/han formulat","localConversation.userInputRequest.summary.count":"{count, plural, one {# pregunta} many {# preguntes} other {# preguntes}}","localConversation.workedFor":"Ha funcionat durant {time}","localConversation.worktreeBranchSetup.action.create":"Crea","localConversation.worktreeBranchSetup.branchAriaLabel":"Nom de la branca","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Crea una nova secció","localConversation.worktreeBranchSetup.checkoutDisabled":"Aquesta branca ja s’ha revisat a {location}","localConversation.worktreeBranchSetup.checkoutError":"No s’ha pogut revisar la branca: {message}","localConversation.worktreeBranchSetup.createBranchError":"No s’ha pogut establir la branca: {message}","localConversation.worktreeBranchSetup.error":"Alguna cosa no ha anat bé: {message}","localConversation.worktreeBranchSetup.subtitle":"Crea una branca per confirmar els canvis, enviar-los i crear una sol·licitud de canvis des d’aquest arbre de treball. <a>Més informació</a>","localConversation.worktreeBranchSetup.title":"Treballa aquí","localConversationPage.addWorktreeToSidebar.tooltip":"Desa com un projecte per poder començar fils nous des d’aquest arbre de treball","localConversationPage.addWorktreeToSidebarError":"No s’ha pogut afegir el projecte","localConversationPage.commitAndCreatePrModal.errorTitle":"La confirmació i creació de la sol·licitud de canvis ha fallat","localConversationPage.commitAndCreatePrModal.successTitle":"La sol·licitud de canvis s’ha confirmat i creat","localConversationPage.commitAndPushModal.errorTitle":"La confirmació i l’enviament han fallat","localConversationPage.commitAndPushModal.successTitle":"Els canvis s’han confirmat i enviat","localConversationPage.commitCreatePr.open":"Obre la sol·licitud de canvis","localConversationPage.commitCreatePr.successTitle":"La sol·licitud de canvis s’ha creat amb els últims canvis","localConversationPage.createBranchButtonLabel":"Crea una branca aquí","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Crea una sol·licitud de canvis (PR)","localConversationPage.createPrModal.createDescription":"Obre una sol·licitud de canvis amb els darrers canvis.","localConversationPage.createPrModal.errorTitle":"La sol·licitud de canvis ha fallat","localConversationPage.createPrModal.headBranch":"Capçalera","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Obre la sol·licitud de canvis","localConversationPage.createPrModal.successTitle":"S’ha creat una sol·licitud de canvis","localConversationPage.createPrModal.title":"Crea una sol·licitud de canvis","localConversationPage.createPrModal.viewDescription":"Ja existeix una sol·licitud de canvis per a aquesta branca.","localConversationPage.createPrModal.viewTitle":"La sol·licitud de canvis està a punt","localConversationPage.createPullRequestAuthGh":"Autentica GitHub CLI: executa `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informació de la branca no disponible","localConversationPage.createPullRequestButtonLabel":"Crea una sol·licitud de canvis (PR)","localConversationPage.createPullRequestButtonLabel.loading":"S’està creant la sol·licitud de canvis (PR)…","localConversationPage.createPullRequestDefaultBranchMissing":"Informació de la branca predeterminada no disponible","localConversationPage.createPullRequestError":"No s’ha pogut crear una sol·licitud de canvis","localConversationPage.createPullRequestExistingPullRequest":"Ja existeix una sol·licitud de canvis per a aquesta branca","localConversationPage.createPullRequestGhStatusMissing":"S’està carregant l’estat de GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Instal·la GitHub CLI (gh) per crear una petició de canvis","localConversationPage.createPullRequestNoRepo":"No s’ha trobat cap repositori de git","localConversationPage.createPullRequestPushStatusMissing":"S’està carregant l’estat de l’enviament…","localConversationPage.createPullRequestSetUpstream":"Envia aquesta branca abans de crear una petició de canvis","localConversationPage.createPullRequestSuccessToast":"S’ha creat una sol·licitud de canvis","localConversationPage.createPullRequestSwitchBranch":"Comprova la branca de la funcionalitat abans de crear una petició de canvis","localConversationPage.error.render":"Error en renderitzar la conversa local","localConversationPage.error.toast":"Conversa no trobada","localConversationPage.forcePushError":"Ha fallat l’enviament forçat","localConversationPage.generatePullRequestMessageError":"No s’han pogut generar el títol ni el cos de la sol·licitud de canvis","localConversationPage.generatePullRequestMessageFailed":"No s’han pogut generar el títol ni el cos de la sol·licitud de canvis.","localConversationPage.gitActionResult.branch":"Branca","localConversationPage.gitActionResult.cancel":"Cancel·la","localConversationPage.gitActionResult.close":"Tanca","localConversationPage.gitActionResult.tryAgain":"Torna-ho a provar","localConversationPage.gitActions":"Accions de git","localConversationPage.newChat":"Xat nou","localConversationPage.openInTarget":"Obre a","localConversationPage.openPrimaryTarget":"Obre","localConversationPage.planItemsCompleted":"{completedItems} de {totalItems, plural, one {# tasca completada} many {# tasques completades} other {# tasques completades}}","localConversationPage.pushAuthError":"L’enviament ha fallat: l’autenticació és obligatòria","localConversationPage.pushBranchMissing":"Informació de la branca no disponible","localConversationPage.pushButtonLabel":"Inserció","localConversationPage.pushButtonLabel.loading":"S’està enviant…","localConversationPage.pushError":"No s’han pogut enviar els canvis","localConversationPage.pushModal.branchLabel":"Branca","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Cancel·la","localConversationPage.pushModal.confirm":"Inserció","localConversationPage.pushModal.description":"Envia les darreres confirmacions al repositori remot.","localConversationPage.pushModal.errorTitle":"L’enviament ha fallat","localConversationPage.pushModal.forcePush":"Enviament forçat","localConversationPage.pushModal.successTitle":"Enviament complet","localConversationPage.pushModal.title":"Envia els canvis","localConversationPage.pushModal.tryAgain":"Torna-ho a provar","localConversationPage.pushNoUpstream":"Estableix una comunicació ascendent abans d’enviar aquesta branca","localConversationPage.pushNoUpstreamError":"L’enviament ha fallat: no s’ha configurat cap comunicació ascendent","localConversationPage.pushNothingToPush":"No hi ha cap confirmació per enviar","localConversationPage.pushRemoteChangedError":"L’enviament ha fallat: el control remot té confirmacions noves","localConversationPage.pushRemoteRejectedError":"El control remot ha rebutjat l’enviament","localConversationPage.pushStatusMissing":"S’està carregant l’estat de l’enviament…","localConversationPage.pushSuccessToast":"Canvis enviats","localConversationPage.viewPullRequestButtonLabel":"Mostra la sol·licitud de canvis (PR)","localConversationPage.viewPullRequestButtonLabel.loading":"S’està creant una sol·licitud de canvis…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fitxer} many {# fitxers} other {# fitxers}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# llista} many {# llistes} other {# llistes}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# cerca} many {# cerques} other {# cerques}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"S’està examinant","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"S’ha examinat","localConversationTurn.exploration.accordion.header.complete.withCounts":"S’ha examinat {counts}","localConversationTurnStory.showContent":"Mostra el contingut","localConversationTurnStory.streamContent":"Transmet el contingut","localConversationTurnStory.toggleReasoning":"Mostra el raonament","localTaskRow.archiveError":"No s’ha pogut arxivar la conversa","localTaskRow.resumeError":"No s’ha pogut reprendre la tasca","mermaidDiagram.ariaLabel":"Diagrama de sirena","mermaidDiagram.copySource":"Copia els diagrames sirena","mermaidDiagram.originalCode":"Codi font de sirena","notifications.permissions.description":"Mostra les alertes quan els permisos de notificació siguin obligatoris","notifications.permissions.label":"Habilita les notificacions de permisos","notifications.turnMode.always":"Sempre","notifications.turnMode.description":"Configura quan vols que Codex t’informi que ha acabat","notifications.turnMode.label":"Activa les notificacions de finalització","notifications.turnMode.off":"Mai","notifications.turnMode.unfocused":"Només quan no està en primer pla","patchApprovalRequest.approve":"Aprova","patchApprovalRequest.menu.allowAlways":"Sí, i no ho tornis a preguntar en aquesta sessió","patchApprovalRequest.menu.allowForSession":"Sí, i no ho tornis a preguntar en aquesta sessió","patchApprovalRequest.menu.allowOnce":"Sí","patchApprovalRequest.prompt":"Vols fer aquests canvis?","patchApprovalRequest.reject":"No","patchApprovalRequest.waitingForApproval":"S’està esperant l’aprovació per modificar els fitxers","pendingRequest.approvalExec.collapse":"Redueix","pendingRequest.approvalExec.expand":"Amplia","pendingRequestStory.toastAnswer":"Resposta: {answer}","pendingRequestStory.toastApprovalTitle":"Resposta d’aprovació","pendingRequestStory.toastFollowupPrompt":"Indicació: {prompt}","pendingRequestStory.toastFollowupTitle":"S’ha enviat el seguiment","pendingRequestStory.toastNoAnswers":"No s’ha proporcionat cap resposta","pendingRequestStory.toastQuestion":"Pregunta: {question}","pendingRequestStory.toastUnknownDecision":"Desconegut","pendingRequestStory.toastUserInputTitle":"Respostes enviades","quickAction.request.codeReview.branches.new":"Revisa els canvis a {from} amb {to}","quickAction.request.codeReview.uncommitted.new":"Revisa els meus canvis no confirmats","reasoningItem.thinking":"S’està pensant","reasoningItem.thought":"Pensament","reasoningItem.thoughtWithElapsed":"S’ha pensat durant {elapsed}","recentConversations.title":"Converses recents","recentTasks.worktreeInitFailedTitle":"Error en inicialitzar l’arbre de treball","recentTasks.worktreeSettingUpTitle":"S’està configurant l’arbre de treball","requestInputPanel.continue":"Continua","requestInputPanel.dismiss":"Ignora","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Escriu aquí","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"No, i explica a Codex què ha de fer diferent","requestInputPanel.selectedBadge":"Seleccionat","requestInputPanel.skip":"Omet","requestInputPanel.submit":"Envia","review.commit.ariaLabel.includeUnstaged":"Inclou els canvis trets de la pila","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"S’està confirmant…","review.commit.disabled.loadingDiff":"S’està carregant el diff…","review.commit.disabled.missingContext":"Afegeix context per generar un missatge de confirmació","review.commit.disabled.noChanges":"No hi ha canvis per confirmar","review.commit.disabled.noSelection":"Selecciona els canvis per confirmar","review.commit.disabled.unavailable":"La confirmació no està disponible en aquest moment","review.commit.error":"No s’han pogut confirmar els canvis","review.commit.form.changesToBeCommitted":"Canvis","review.commit.form.commitTo":"Branca","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continua","review.commit.form.title":"Confirma els canvis","review.commit.generate.emptyResponse":"No s’ha pogut generar un missatge de confirmació.","review.commit.generate.failed":"Error en generar un missatge de confirmació: {error}","review.commit.generate.missingPrompt":"Afegeix context per generar un missatge de confirmació.","review.commit.includeUnstaged":"Inclou els canvis trets de la pila","review.commit.loading.description":"Espera un moment, pot trigar una mica…","review.commit.loading.step.commit.done":"Canvis confirmats","review.commit.loading.step.commit.pending":"S’estan confirmant els canvis","review.commit.loading.step.createPr.done":"S’ha creat una sol·licitud de canvis","review.commit.loading.step.createPr.pending":"S’està creant una sol·licitud de canvis","review.commit.loading.step.push.done":"S’ha enviat a la branca {branch}","review.commit.loading.step.push.pending":"S’està enviant a la branca {branch}","review.commit.loading.title.commit":"S’estan confirmant els canvis","review.commit.loading.title.createPr":"S’està creant la petició de canvis","review.commit.loading.title.push":"S’estan enviant els canvis","review.commit.messageLabel":"Missatge del Commit","review.commit.messagePlaceholder":"Deixa en blanc per generar automàticament un missatge de confirmació","review.commit.nextSteps":"Següents passos","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Confirmació i creació de la sol·licitud de canvis","review.commit.nextSteps.commitAndPush":"Confirmació i enviament","review.commit.nextSteps.prRequiresGh":"Requereix GitHub CLI: {command}","review.commit.rows.changes":"Canvis","review.commit.rows.commitCount":"{count, plural, one {# confirmació} many {# confirmacions} other {# confirmacions}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# confirmació} many {# confirmacions} other {# confirmacions}} i {stats}","review.commit.rows.fileCount":"{count, plural, one {# fitxer} many {# fitxers} other {# fitxers}}","review.commit.state.error.body":"Alguna cosa no ha anat bé en confirmar. Comprova l’estat del git i torna-ho a provar.","review.commit.state.error.title":"La confirmació ha fallat","review.commit.state.success.title":"Canvis confirmats","review.commit.untracked.loadingStats":"S’estan carregant les estadístiques del diff no rastrejat…","reviewFindingAttachments.count":"{count, plural, one {# resultat} many {# resultats} other {# resultats}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Modifica la configuració per personalitzar el comportament de l’agent","settings.agent.configuration.configToml.docs":"Documents","settings.agent.configuration.configToml.restartNote":"Reinicia Codex quan hagis acabat per aplicar els canvis","settings.agent.configuration.subtitle":"Aquesta configuració s’aplica a qualsevol lloc on s’utilitzi Codex","settings.automations.banner.danger":"Les automatitzacions s’executen amb la configuració predeterminada per a l’entorn de proves, que actualment permet un accés complet. Executar les automatitzacions de fons amb un accés complet comporta un risc elevat, ja que Codex pot modificar fitxers, executar ordres i accedir a la xarxa sense preguntar. Planteja’t canviar la configuració de l’entorn de proves a escriptura de l’espai de treball i utilitzar certes <rulesDocsLink>regles</rulesDocsLink> per definir de forma selectiva quines ordres pot executar l’agent amb accés complet.","settings.automations.banner.defaultHowTo.default":"Les automatitzacions s’executen amb la configuració predeterminada per a l’entorn de proves. Les trucades a l’eina fallaran si requereixen modificar fitxers fora de l’espai de treball, accedir a la xarxa o treballar amb apps a l’ordinador. Pots permetre de forma selectiva que les ordres s’executin fora de l’entorn de proves utilitzant les <rulesDocsLink>regles</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Les automatitzacions s’executen amb la configuració predeterminada per a l’entorn de proves, que actualment és de només lectura. Les trucades a l’eina fallaran si requereixen modificar fitxers, accedir a la xarxa o treballar amb apps a l’ordinador. Planteja’t canviar la configuració de l’entorn de proves a escriptura a l’espai de treball.","settings.automations.cancel":"Cancel·la","settings.automations.create":"Crea","settings.automations.cwdEmpty":"No hi ha carpetes de projectes disponibles","settings.automations.cwdLabel":"Projectes","settings.automations.cwdPlaceholder":"Tria una carpeta","settings.automations.cwdSubtitle":"Si vols executar automàticament una branca específica, especifica-ho a la indicació.","settings.automations.delete":"Suprimeix","settings.automations.dialog.editTitle":"Modifica l’automatització","settings.automations.dialog.newTitle":"Nova automatització","settings.automations.dialog.subtitle":"Automatitza les tasques recurrents perquè s’executin en segon pla. Codex envia els resultats a la safata d’entrada o arxiva automàticament la tasca si no té res de què informar. <learnMoreLink>Més informació</learnMoreLink>","settings.automations.dialog.title":"Crea una automatització","settings.automations.executionCopy.git":"Les automatitzacions s’executen en segon pla en arbres de treball dedicats.","settings.automations.executionCopy.nonGit":"Les automatitzacions en projectes sense control de versió s’executen directament al directori de projectes. Planteja’t utilitzar Git per permetre l’execució en arbres de treball en segon pla.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Arbre de treball","settings.automations.loading":"S’està carregant…","settings.automations.nameLabel":"Nom","settings.automations.namePlaceholder":"Comprova si hi ha incidències a Sentry","settings.automations.pause":"Pausa","settings.automations.promptLabel":"Indicació","settings.automations.promptPlaceholder":"Busca errors de caiguda a $Sentry","settings.automations.resume":"Reprèn","settings.automations.rruleSummaryFallback":"Programació personalitzada","settings.automations.runNow":"Prova","settings.automations.save":"Desa","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Dies feiners","settings.automations.scheduleBadge.weekends":"Caps de setmana","settings.automations.scheduleHeader":"Programar","settings.automations.scheduleHours":"hores","settings.automations.scheduleLabel":"Executa cada","settings.automations.scheduleMode.daily":"Diàriament","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Tipus de programació","settings.automations.scheduleSummary.daily":"Diàriament a les {time}","settings.automations.scheduleSummary.interval":"Cada {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dia} many {# dies} other {# dies}}","settings.automations.scheduleSummary.intervalDays":"{interval} a {days}","settings.automations.scheduleSummary.intervalHourly":"Cada hora","settings.automations.scheduleSummary.singleDay":"{day} a les {time}","settings.automations.scheduleSummary.weekdays":"Dies feiners a les {time}","settings.automations.scheduleSummary.weekdaysLabel":"dies feiners","settings.automations.scheduleSummary.weekends":"Caps de setmana a les {time}","settings.automations.scheduleSummary.weekendsLabel":"caps de setmana","settings.automations.scheduleSummary.weekly":"{days} a les {time}","settings.automations.scheduleWeekdays":"Activada","settings.automations.weekdayState.excluded":"Exclòs","settings.automations.weekdayState.included":"Inclòs","settings.conversationDetail.steps":"Passos","settings.conversationDetail.steps.description":"Oculta les ordres i els resultats","settings.conversationDetail.stepsWithCommands":"Passos amb ordres de codi","settings.conversationDetail.stepsWithCommands.description":"Mostra les ordres, redueix els resultats","settings.conversationDetail.stepsWithOutput":"Passos amb sortides de codi","settings.conversationDetail.stepsWithOutput.description":"Mostra les ordres i amplia els resultats","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"No hi ha xats arxivats.","settings.dataControls.archivedChats.error":"No s’han pogut carregar els xats arxivats.","settings.dataControls.archivedChats.loading":"S’estan carregant els xats arxivats…","settings.dataControls.archivedChats.unarchive":"Treu de l’arxiu","settings.dataControls.archivedChats.unarchiveError":"No s’ha pogut desarxivar el xat","settings.dataControls.archivedChats.unarchiveSuccess":"Fil no arxivat. <viewNowLink>Mostra ara</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Fil no arxivat.","settings.dataControls.archivedChats.untitled":"Xat sense títol","settings.dataControls.archivedChats.viewNow":"Mostra ara","settings.editRow.headerPlaceholder":"Clau","settings.editRow.removeEntry":"Suprimeix l’entrada","settings.editRow.valuePlaceholder":"Valor","settings.general.appearance":"Aspecte","settings.general.appearance.codeFont":"Codi font","settings.general.appearance.codeFont.description":"Ajusta la font i la mida utilitzades per al codi dels xats i diffs","settings.general.appearance.codeFontFamily":"Família del codi font","settings.general.appearance.codeFontSize":"Mida del codi font","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Fes que les finestres utilitzin un fons sòlid en lloc de la translucidesa del sistema","settings.general.appearance.opaqueWindows.label":"Utilitza un fons opac en les finestres","settings.general.appearance.sansFontFamily":"Família de font sans serif","settings.general.appearance.sansFontFamily.description":"Ajusta la font utilitzada per a la IU de Codex","settings.general.appearance.sansFontSize":"Mida de la font sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Mostra efectes de celebració a pantalla completa mentre GPT-5.3-Codex-Spark executa la primera tanda","settings.general.appearance.sparkCelebrationEffects.label":"Efectes de celebració amb espurnes brillants","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Fosc","settings.general.appearance.theme.description":"Utilitza el mode clar, fosc o el que coincideixi amb el del teu sistema","settings.general.appearance.theme.light":"Clar","settings.general.appearance.theme.system":"Sistema","settings.general.appearance.usePointerCursors.description":"Canvia el cursor per una mà en passar per sobre d’elements interactius","settings.general.appearance.usePointerCursors.label":"Utilitza diferents cursors","settings.general.enterBehavior.description":"Quan les indicacions multilínia estan habilitades, cal prémer {modifierSymbol} + tecla de retorn per enviar-les.","settings.general.enterBehavior.label":"Per enviar indicacions llargues, cal prémer {modifierSymbol} + tecla de retorn","settings.general.experimentalFeatures":"Funcions experimentals (beta)","settings.general.experimentalFeatures.empty":"No hi ha funcions experimentals beta disponibles.","settings.general.experimentalFeatures.loading":"S’estan carregant les funcions experimentals…","settings.general.experimentalFeatures.restartNote":"Reinicia Codex per aplicar els canvis en les funcions experimentals","settings.general.experimentalFeatures.toggle":"Commuta {featureName}","settings.general.followUpQueueMode.description":"Posa els seguiments en cua mentre s’executa Codex o orienta l’execució actual. Prem {invertFollowUpShortcutLabel} per fer el contrari en un missatge.","settings.general.followUpQueueMode.interrupt":"Orienta","settings.general.followUpQueueMode.label":"Comportament dels seguiments","settings.general.followUpQueueMode.queue":"En cua","settings.general.notifications":"Notificacions","settings.general.power.preventSleepWhileRunning.description":"Mantén l’ordinador encès mentre Codex estigui executant un fil.","settings.general.power.preventSleepWhileRunning.label":"Evita la suspensió mentre s’estigui executant","settings.git.branchPrefix.ariaLabel":"Prefix de branca","settings.git.branchPrefix.description":"Prefix utilitzat en crear branques noves a Codex","settings.git.branchPrefix.label":"Prefix de branca","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"No s’ha pogut desar el prefix de branca","settings.git.branchPrefix.save.success":"S’ha desat el prefix de branca","settings.git.commitInstructions.ariaLabel":"Instruccions de confirmació","settings.git.commitInstructions.description":"S’ha afegit a les indicacions de generació de missatges de confirmació","settings.git.commitInstructions.label":"Instruccions de confirmació","settings.git.commitInstructions.placeholder":"Afegeix orientació per al missatge d’orientació…","settings.git.commitInstructions.save":"Desa","settings.git.commitInstructions.save.error":"Error en desar les instruccions de confirmació","settings.git.commitInstructions.save.success":"Instruccions de confirmació desades","settings.git.forcePush.ariaLabel":"Força sempre l’enviament","settings.git.forcePush.description":"Utilitza --force-with-lease en fer l’enviament des de Codex","settings.git.forcePush.label":"Força sempre l’enviament","settings.git.forcePush.save.disabled":"S’ha inhabilitat l’opció de forçar sempre l’enviament","settings.git.forcePush.save.enabled":"S’ha habilitat l’opció de forçar sempre l’enviament","settings.git.forcePush.save.error":"No s’ha pogut desar la configuració d’enviament forçat","settings.git.prInstructions.ariaLabel":"Instruccions de la sol·licitud de canvis","settings.git.prInstructions.description":"Afegit al cos de les sol·licituds de canvi creades per Codex","settings.git.prInstructions.label":"Instruccions de la sol·licitud de canvis","settings.git.prInstructions.placeholder":"Afegeix orientació per a la sol·licitud de canvis…","settings.git.prInstructions.save":"Desa","settings.git.prInstructions.save.error":"Error en desar les instruccions de la sol·licitud de canvis","settings.git.prInstructions.save.success":"Instruccions de la sol·licitud de canvis desades","settings.ide.defaultOpenTarget.description":"On els fitxers i les carpetes s’obren per defecte","settings.ide.defaultOpenTarget.label":"Destinació oberta per defecte","settings.ide.defaultOpenTarget.placeholder":"No s’han trobat objectius","settings.ide.language.auto":"Detecció automàtica","settings.ide.language.autoOption":"Detecció automàtica","settings.ide.language.description":"Idioma de la interfície d’usuari de l’app","settings.ide.language.label":"Idioma","settings.ide.language.search":"Cerca idiomes","settings.layout.actionButton":"Reinicia l’extensió","settings.layout.actionTitle":"Configuració amb acció","settings.layout.fullWidthTitle":"Configuració (ample complet)","settings.layout.title":"Configuració","settings.localEnvironments.actions.add":"Afegeix una acció","settings.localEnvironments.actions.add.description":"Crea una ordre nova per executar-la des de la barra d’eines.","settings.localEnvironments.actions.add.save":"Desa","settings.localEnvironments.actions.empty":"Afegeix una acció per executar ordres de la barra d’eines local.","settings.localEnvironments.actions.icon.debug":"Depuració","settings.localEnvironments.actions.icon.run":"Executa","settings.localEnvironments.actions.icon.test":"Prova","settings.localEnvironments.actions.icon.tool":"Eina","settings.localEnvironments.actions.item.button.delete":"Suprimeix","settings.localEnvironments.actions.item.command":"Activa l’script","settings.localEnvironments.actions.item.name":"Nom","settings.localEnvironments.actions.item.platforms":"Plataformes","settings.localEnvironments.actions.item.platforms.help":"Només s’executa en un sistema operatiu específic.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Selecció de plataforma","settings.localEnvironments.actions.item.platforms.specific":"Plataforma específica","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Suprimeix","settings.localEnvironments.actions.title":"Accions","settings.localEnvironments.breadcrumb.back":"Enrere","settings.localEnvironments.breadcrumb.edit":"modifica","settings.localEnvironments.breadcrumb.root":"Entorns","settings.localEnvironments.environment.actions.description":"Aquestes accions poden executar qualsevol ordre i es mostraran a la capçalera.","settings.localEnvironments.environment.actionsLabel":"Accions","settings.localEnvironments.environment.create":"Crea un entorn local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Modifica l’entorn local","settings.localEnvironments.environment.empty":"Encara no s’ha configurat cap entorn local per a aquest projecte.","settings.localEnvironments.environment.name":"Nom","settings.localEnvironments.environment.setup":"Guió de configuració","settings.localEnvironments.environment.setup.description":"Aquest script s’executarà en crear l’arbre de treball.","settings.localEnvironments.environment.setup.hint":"S’executa a l’arrel del projecte.","settings.localEnvironments.environment.setup.platformOverrides":"Anul·lacions de la plataforma","settings.localEnvironments.environment.setup.platformOverrides.add":"Afegeix l’script de configuració de {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Substitueix l’script predeterminat per a sistemes operatius específics.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Suprimeix","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Detalls de l’entorn","settings.localEnvironments.file.missing":"Desa per crear aquest fitxer per primer cop.","settings.localEnvironments.file.parseError":"No es pot analitzar el fitxer existent. En desar-lo, se sobreescriurà. ({error})","settings.localEnvironments.file.path":"Fitxer: {path}","settings.localEnvironments.file.readError":"No s’han pogut carregar les dades de l’entorn local. ({error})","settings.localEnvironments.file.title":"Fitxer de l’entorn local","settings.localEnvironments.loading.body":"S’està recuperant la configuració del projecte.","settings.localEnvironments.loading.title":"S’estan carregant els entorns locals","settings.localEnvironments.preview.devOnly":"(Només per a desenvolupament)","settings.localEnvironments.preview.save":"Desa","settings.localEnvironments.preview.saveError":"No s’ha pogut desar el fitxer. ({error})","settings.localEnvironments.preview.title":"Previsualització","settings.localEnvironments.save.disabled.name":"Afegeix un nom d’entorn per desar-lo.","settings.localEnvironments.save.disabled.noChanges":"No hi ha canvis per desar.","settings.localEnvironments.save.disabled.saving":"S’està desant…","settings.localEnvironments.save.success":"S’ha desat l’entorn local","settings.localEnvironments.unavailable.body":"No hem pogut carregar la configuració de l’entorn local per a aquest projecte.","settings.localEnvironments.unavailable.title":"No hi ha entorns locals disponibles","settings.localEnvironments.workspace.add":"Afegeix un projecte","settings.localEnvironments.workspace.title":"Projecte","settings.localEnvironments.workspaceSelect.addLabel":"Afegeix un entorn","settings.localEnvironments.workspaceSelect.description":"Els entorns locals indiquen a Codex com configurar els arbres de treball per a un projecte. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Encara no hi ha projectes. Afegeix-ne un per configurar entorns locals.","settings.localEnvironments.workspaceSelect.errorLabel":"L’entorn requereix atenció","settings.localEnvironments.workspaceSelect.learnMore":"Més informació","settings.localEnvironments.workspaceSelect.listLabel":"Projectes disponibles","settings.localEnvironments.workspaceSelect.loading":"S’estan carregant els projectes.","settings.localEnvironments.workspaceSelect.loadingLabel":"S’està carregant l’entorn","settings.localEnvironments.workspaceSelect.title":"Selecciona un projecte","settings.localEnvironments.workspaceSelect.viewAction":"Mostra","settings.mcp.addServer":"Afegeix un servidor","settings.mcp.app.configure":"Configura","settings.mcp.app.connect":"Connecta","settings.mcp.apps.refresh":"Actualitza","settings.mcp.detail.addArgument":"Afegeix un paràmetre","settings.mcp.detail.addEnvVar":"Afegeix una variable de l’entorn","settings.mcp.detail.addEnvVarPassthrough":"Afegeix una variable","settings.mcp.detail.args":"Paràmetres","settings.mcp.detail.back":"Enrere","settings.mcp.detail.command":"Ordre per publicar","settings.mcp.detail.cwd":"Directori de treball","settings.mcp.detail.docs":"Obre la documentació del MCP","settings.mcp.detail.docs.link":"Documents","settings.mcp.detail.envVarPassthrough":"Transmissió de variables d’entorn","settings.mcp.detail.envVars":"Variables de l’entorn","settings.mcp.detail.http.addEnvHeader":"Afegeix una variable","settings.mcp.detail.http.addHeader":"Afegeix una capçalera","settings.mcp.detail.http.bearerToken":"Variable d’entorn del testimoni del portador","settings.mcp.detail.http.envHeaders":"Capçaleres de les variables de l’entorn","settings.mcp.detail.http.headers":"Capçaleres","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nom","settings.mcp.detail.save":"Desa","settings.mcp.detail.switchTransportNotice":"Si vols canviar el tipus de servidor MCP, primer desinstal·la’l.","settings.mcp.detail.titleExisting":"Actualitza el servidor MCP {name}","settings.mcp.detail.titleNew":"Connecta a un MCP personalitzat","settings.mcp.detail.transport.http":"HTTP transmissible","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Desinstal·la","settings.mcp.empty":"No hi ha servidors MCP personalitzats connectats","settings.mcp.myServers":"Personalitza els servidors","settings.mcp.partnerServer.description.figma":"Genera un codi millor incorporant tot el context de Figma","settings.mcp.partnerServer.description.github":"Integra’t amb les API de GitHub per automatitzar els fluxos de treball i extreure dades","settings.mcp.partnerServer.description.linear":"Integra’t amb el gestor de projectes i seguiment d’incidències de Linear","settings.mcp.partnerServer.description.notion":"Llegeix documents, actualitza pàgines i gestiona tasques","settings.mcp.partnerServer.description.playwright":"Integra l’automatització del navegador per implementar el disseny i provar la IU.","settings.mcp.partnerServer.install":"Instal·la","settings.mcp.partnerServer.installAndAuthenticate":"Instal·la i autentica","settings.mcp.partnerServer.logoAlt":"Logotip de {label}","settings.mcp.partnerServer.manage":"Gestiona","settings.mcp.partnerServer.vendor":"de {vendor}","settings.mcp.recommendedServers":"Servidors recomanats","settings.mcp.restartApp":"Reinicia","settings.mcp.restartExtension":"Reinicia l’extensió","settings.mcp.server.enable":"Habilita","settings.mcp.server.login":"Autentica","settings.mcp.server.settings":"Configuració","settings.multiselect.createOption":'Crea "{value}"',"settings.multiselect.removeOption":"Suprimeix","settings.nav.account":"Compte","settings.nav.agent":"Configuració","settings.nav.ariaLabel":"Configuració","settings.nav.back":"Torna a l’app","settings.nav.data-controls":"Fils arxivats","settings.nav.environments":"Entorns al núvol","settings.nav.externalTooltip":"[alpha] Obre al navegador","settings.nav.general-settings":"General","settings.nav.git-settings":"Git","settings.nav.local-environments":"Entorns","settings.nav.mcp-settings":"Servidors MCP","settings.nav.notImplemented":"[alpha] No disponible a Alpha","settings.nav.personalization":"Personalització","settings.nav.skills-settings":"Habilitats","settings.nav.usage-analytics":"Ús i analítica","settings.nav.worktrees":"Arbres de treball","settings.openSourceLicenses.back":"Enrere","settings.openSourceLicenses.loading":"S’està carregant…","settings.openSourceLicenses.missing":"No s’han trobat avisos de tercers.","settings.openSourceLicenses.notSupported":"Encara no està disponible en aquest servidor.","settings.openSourceLicenses.rowDescription":"Avisos de tercers per a dependències agrupades","settings.openSourceLicenses.rowLabel":"Llicències de codi obert","settings.openSourceLicenses.subtitle":"Avisos de tercers per a dependències incloses en aquesta app","settings.openSourceLicenses.title":"Llicències de codi obert","settings.openSourceLicenses.view":"Mostra","settings.personalization.agents.description":"Modifica les instruccions que Codex personalitza per a tu. {learnMore}","settings.personalization.agents.learnMore":"Més informació","settings.personalization.agents.loadError":"No s’han pogut carregar els agents.md.","settings.personalization.agents.loading":"S’estan carregant els agents.md…","settings.personalization.agents.placeholder":"Afegeix instruccions personalitzades…","settings.personalization.agents.retry":"Torna-ho a provar","settings.personalization.agents.save":"Desa","settings.personalization.agents.save.error":"No s’han pogut desar els agents.md.","settings.personalization.agents.save.success":"S’han desat els agents.md","settings.personalization.agents.title":"Instruccions personalitzades","settings.personalization.personality.description":"Tria un to predeterminat per a les respostes de Codex","settings.personalization.personality.label":"Personalitat","settings.sample.contentBody":"Utilitza aquest disseny per compondre els panells de configuració amb un espaiat uniforme.","settings.sample.contentTitle":"Bloc de contingut de mostra","settings.section.account":"Compte","settings.section.agent":"Configuració","settings.section.data-controls":"Fils arxivats","settings.section.environments":"Entorns al núvol","settings.section.external":"S’obre al navegador durant l’Alpha","settings.section.general-settings":"General","settings.section.git-settings":"Git","settings.section.local-environments":"Entorns","settings.section.mcp-settings":"Servidors MCP","settings.section.mcp-settings.docs":"Documents","settings.section.mcp-settings.subtitle":"Connecta eines i fonts de dades externes.","settings.section.personalization":"Personalització","settings.section.skills-settings":"Habilitats","settings.section.unavailable":"Encara no està disponible a l’Alpha","settings.section.usage-analytics":"Ús i analítica","settings.section.worktrees":"Arbres de treball","settings.threadDetail.description":"Tria quantes sortides d’ordres vols mostrar als fils","settings.threadDetail.label":"Informació del fil","settings.worktrees.conversation.untitled":"Conversa sense títol","settings.worktrees.delete.error":"No s’ha pogut suprimir l’arbre de treball","settings.worktrees.empty.body":"Els arbres de treball creats per Codex apareixeran aquí.","settings.worktrees.empty.title":"Encara no hi ha arbres de treball","settings.worktrees.error.body":"Alguna cosa ha anat malament en carregar els arbres de treball.","settings.worktrees.error.retry":"Torna-ho a provar","settings.worktrees.error.title":"No s’han pogut carregar els arbres de treball","settings.worktrees.loading.body":"S’està recollint la informació de l’arbre de treball.","settings.worktrees.loading.title":"S’estan carregant els arbres de treball","settings.worktrees.repository.loading":"S’estan carregant les metadades del repositori…","settings.worktrees.repository.unknown":"Repositori desconegut","settings.worktrees.row.conversations":"Converses","settings.worktrees.row.conversations.empty":"No hi ha converses vinculades a aquest arbre de treball.","settings.worktrees.row.conversations.loading":"S’estan carregant les converses…","settings.worktrees.row.delete":"Suprimeix","settings.worktrees.row.title":"Arbre de treball","sidebarElectron.addWorkspaceRoot":"Afegeix un projecte nou","sidebarElectron.archiveThread":"Arxiva el fil","sidebarElectron.archiveThreadError":"Error en arxivar el fil","sidebarElectron.collapseFolder":"Anul·la la carpeta","sidebarElectron.createStableWorktree.dialog.cancel":"Cancel·la","sidebarElectron.createStableWorktree.dialog.create":"Crea","sidebarElectron.debugNavLink":"Depuració","sidebarElectron.editWorkspaceRootOptionName":"Modifica el nom","sidebarElectron.expandFolder":"Amplia la carpeta","sidebarElectron.groupByMenu.recency":"Llista cronològica","sidebarElectron.groupByMenu.title":"Organitza","sidebarElectron.groupByMenu.workspace":"Per projecte","sidebarElectron.inboxRouteNavLink":"Automatitzacions","sidebarElectron.markThreadUnread":"Marca com a no llegit","sidebarElectron.missingWorkspaceRoot":"Aquesta carpeta de projecte s’ha eliminat o mogut","sidebarElectron.newThread":"Nou fil","sidebarElectron.newThreadInGroup":"Inicia un fil nou a {folder}","sidebarElectron.noRecentThreads":"No hi ha fils recents","sidebarElectron.noTasks":"No hi ha fils","sidebarElectron.noTasks.start":"Afegeix un projecte nou","sidebarElectron.noTasksWithFilter":"No hi ha fils que coincideixin amb els filtres","sidebarElectron.pinnedThreads":"Fils fixats","sidebarElectron.recentNavLink":"Fils","sidebarElectron.recentThreads":"Fils recents","sidebarElectron.removeWorkspaceRootOption":"Suprimeix","sidebarElectron.renameThread":"Canvia el nom del fil","sidebarElectron.renameThreadDialogAriaLabel":"Títol del fil","sidebarElectron.renameThreadDialogCancel":"Cancel·la","sidebarElectron.renameThreadDialogPlaceholder":"Afegeix un títol…","sidebarElectron.renameThreadDialogSave":"Desa","sidebarElectron.renameThreadDialogSubtitle":"Fes-lo curt i fàcil de reconèixer.","sidebarElectron.renameThreadDialogTitle":"Canvia el nom del fil","sidebarElectron.renameThreadError":"No s’ha pogut canviar el nom del fil","sidebarElectron.renameWorkspaceRootOptionLabel":"Nom a mostrar","sidebarElectron.showLess":"Mostra’n menys","sidebarElectron.showMenu.all":"Tots els fils","sidebarElectron.showMenu.relevant":"Rellevant","sidebarElectron.showMenu.relevantHint":"Mostra només els fils recents de la branca actual, dels arbres de treball o altres fils que requereixin la teva atenció","sidebarElectron.showMenu.title":"Mostra","sidebarElectron.showMenu.tooltip":"Filtra, classifica i organitza els fils","sidebarElectron.showMenu.trigger":"Filtra els fils de la barra lateral","sidebarElectron.showMore":"Mostra’n més","sidebarElectron.skillsRouteNavLink":"Habilitats","sidebarElectron.sortMenu.created":"Data de creació","sidebarElectron.sortMenu.title":"Classifica per","sidebarElectron.sortMenu.updated":"Actualitzat","sidebarElectron.taskNavigation":"Carpetes d’automatitzacions","sidebarElectron.tasksInFolder":"Automatitzacions a {folder}","sidebarElectron.workspaceOptions":"Accions de projecte per {folder}","sidebarElectron.worktreeGroupTooltip":"Això és un arbre de treball de git","skills.appsPage.createSkill":"Habilitat nova","skills.appsPage.empty.skills":"No s’han trobat habilitats","skills.appsPage.search.skills":"Cerca habilitats","skills.appsPage.search.skills.label":"Cerca habilitats","skills.appsPage.section.installedApps":"Instal·lades","skills.appsPage.section.skills":"Habilitats","skills.appsPage.subheading":"Concedeix superpoders a Codex.<link>Més informació</link>","skills.appsPage.tab.recommended":"Recomanat","skills.appsPage.tab.skills":"Habilitats","skills.card.contentsError":"No es poden pujar continguts d’habilitats.","skills.card.disable":"Inhabilita","skills.card.disableSuccess":"{skillName} habilitat desactivada","skills.card.disabledBadge":"Inhabilitades","skills.card.enable":"Habilita","skills.card.enableSuccess":"{skillName} habilitat activada","skills.card.loadingContents":"S’estan carregant continguts d’habilitats…","skills.card.more":"Més accions","skills.card.open":"Obre","skills.card.removeFailed":"No s’ha pogut desinstal·lar l’habilitat","skills.card.removeSuccess":"{skillName} habilitat desinstal·lada","skills.card.toggleEnabledError":"No s’ha pogut actualitzar l’habilitat","skills.card.try":"Prova","skills.card.trySkill":"Prova l’habilitat","skills.card.uninstall":"Desinstal·la","skills.hero.dotLabel":"Ves a la diapositiva {index}","skills.hero.next":"Habilitat destacada següent","skills.hero.trySkill":"Prova l’habilitat","skills.page.createSkill":"Habilitat nova","skills.page.empty":"No s’han trobat habilitats","skills.page.filteredEmpty":"No hi ha habilitats que s’ajustin als teus filtres","skills.page.filteredEmptyDescription":"Prova d’ajustar els filtres o l’abast de la cerca","skills.page.heading":"Habilitats","skills.page.loading":"S’estan carregant les habilitats…","skills.page.refreshSkills":"Actualitza","skills.page.refreshSkillsToUseNew":"Actualitza per utilitzar habilitats noves","skills.page.search":"Cerca habilitats","skills.page.search.label":"Cerca habilitats","skills.page.subheading":"Concedeix superpoders a Codex.<link>Més informació</link>","skills.preview.copyPrompt":"Copia la indicació","skills.preview.examplePrompt":"Indicació d’exemple","skills.recommended.error":"No s’han pogut carregar les habilitats recomanades","skills.recommended.install":"Instal·la","skills.recommended.installSkill":"Instal·la l’habilitat","skills.recommended.installSuccess":"{skillName} habilitat instal·lada","skills.recommended.installed":"Instal·lades","skills.scope.admin":"Administrador","skills.scope.adminInstalled":"Habilitats instal·lades per l’administrador","skills.scope.builtIn":"Sistema","skills.scope.personal":"Personal","skills.scope.repo":"Repositori","skills.scope.system":"Sistema","skills.scope.team":"Equip","skills.scope.user":"Usuari","skills.section.installed":"Instal·lades","skills.section.recommended":"Recomanades","story.slidingToggle.existing":"Existent","story.slidingToggle.fromLocal":"De local","story.slidingToggle.new":"Nou","story.slidingToggle.toLocal":"A local","terminal.close":"Tanca el terminal","terminal.title":"Terminal","thinkingShimmer.default":"S’està pensant","threadEnvIcon.cloudTooltip":"Aquesta conversa s’està executant a Codex Cloud.","threadEnvIcon.localTooltip":"Aquesta conversa s’està executant localment.","threadEnvIcon.worktreeTooltip":"Aquesta conversa s’està executant en un arbre de treball del git local.","threadHeader.archiveConfirmCancel":"Cancel·la","threadHeader.archiveConfirmConfirm":"Arxiva","threadHeader.archiveConfirmSubtitle":"Podràs cercar-lo més endavant als fils arxivats.","threadHeader.archiveConfirmTitle":"Vols arxivar el fil?","threadHeader.copyAppLink":"Copia l’enllaç profund","threadHeader.copySessionId":"Copia l’identificador de la sessió","threadHeader.copyWorkingDirectory":"Copia el directori de treball","threadHeader.forkIntoLocal":"Bifurca cap al repositori local","threadHeader.forkIntoWorktree":"Bifurca en un arbre de treball nou","threadHeader.forkPendingWorktreePrompt":"Bifurca aquesta conversa en un arbre de treball nou.","threadHeader.forkPendingWorktreeTitle":"Conversa bifurcada","threadHeader.forkThreadError":"S’ha produït un error en bifurcar el fil","threadHeader.forkThreadRequiresGitRepo":"Bifurcar en un arbre de treball nou requereix un repositori de git","threadHeader.moreActions":"Accions del fil","threadPage.newThread":"Nou fil","threadPage.runAction.changeEnvironment":"Canvia d’entorn","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} accions","threadPage.runAction.environmentSelector.label":"Tria un entorn","threadPage.runAction.label":"Executa","threadPage.runAction.missing.label":"Configura una acció d’execució","threadPage.runAction.setup.commandLabel":"Ordre per executar","threadPage.runAction.setup.description":"Indica a Codex com ha d’instal·lar les dependències i iniciar l’app.","threadPage.runAction.setup.editMore":"Configuració de l’entorn","threadPage.runAction.setup.placeholder":"p. ex.: npm install, npm run","threadPage.runAction.setup.submit":"Desa i executa","threadPage.runAction.setup.title":"Executa","threadPage.runAction.tooltip.withEnvironment":"{environmentName} accions","threadPage.toggleDiffPanel":"Activa el panell del diff","threadPage.toggleTerminal":"Commuta el terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Obre la carpeta","toolSummaryForCmd.exploredFiles":"<verb>Llista</verb> de fitxers","toolSummaryForCmd.exploredFilesInPath":"<verb>Llista</verb> de fitxers a {path}","toolSummaryForCmd.exploringFiles":"<verb>S’està fent una llista</verb> de fitxers","toolSummaryForCmd.exploringFilesInPath":"<verb>S’ha fet una llista</verb> de fitxers a {path}","toolSummaryForCmd.ranGenericCommand":"<status>Ordre executada</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>S’ha executat</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Llegeix</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>S’està executant l’ordre</status>{timer}","toolSummaryForCmd.runningTimer":"per a {elapsed}","toolSummaryForCmd.searchedFor":"<verb>S’ha cercat</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>S’han cercat</verb> fitxers","toolSummaryForCmd.searchedForInPath":"<verb>S’ha cercat</verb> {query} a {path}","toolSummaryForCmd.searchingFor":"<verb>S’està cercant</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>S’estan cercant</verb> fitxers","toolSummaryForCmd.searchingForInPath":"<verb>S’està cercant</verb> {query} a {path}","traceRecording.details.noteLabel":"Què feies quan ha passat això? (opcional)","traceRecording.details.notePlaceholder":"He navegat fins a un fil gran i després he canviat de pestanya repetidament…","traceRecording.details.submit":"Envia rastreig","traceRecording.details.subtitle":"Podem enviar aquest rastreig per ajudar a diagnosticar problemes de rendiment.","traceRecording.details.title":"Vols enviar el rastreig?","traceRecording.progress.subtitle":"Mantén Codex obert mentre es completa la tasca.","traceRecording.saving.title":"S’està desant el rastreig…","traceRecording.startDetails.cancel":"Cancel·la","traceRecording.startDetails.submit":"D’acord, inicia l’enregistrament","traceRecording.startDetails.subtitle":'Després de fer clic a "D’acord", reprodueix el problema de rendiment i, a continuació, fes clic sobre l’indicador flotant vermell per aturar i revisar el rastreig.',"traceRecording.startDetails.title":"Com funciona l’enregistrament del rastreig","traceRecording.stopButton.ariaLabel":"Atura l’enregistrament del rastreig","traceRecording.upload.successToast":"S’ha enviat el rastreig.","traceRecording.uploading.title":"S’està pujant el rastreig…","wham.diff.addComment":"Afegeix un comentari","wham.diff.binaryFile":"El fitxer binari no es mostra","wham.diff.noContent":"No hi ha contingut","wham.fileTag.deleted":"Eliminat","wham.fileTag.new":"Nou","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}mes","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}setm.","wham.formattedRelativeDateTime.compactYearsAgo":"{value}any","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"–{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"S’està treballant en la teva tasca","wham.whamProposedTask.title":"Tasca suggerida","wham.whamProposedTask.useSuggestion":"Utilitza un suggeriment","workspaceRootDialog.addError":"No s’ha pogut afegir el projecte","workspaceRootDialog.cancel":"Cancel·la","workspaceRootDialog.confirmAdd":"Afegeix un projecte","workspaceRootDialog.confirmPick":"Utilitza el projecte","workspaceRootDialog.description":"Introdueix una ruta a {host} per utilitzar-lo com a projecte.","workspaceRootDialog.pathLabel":"Ruta del projecte","workspaceRootDialog.pathPlaceholder":"/inici/tu/projecte","workspaceRootDialog.title.add":"Afegeix la ruta del projecte","workspaceRootDialog.title.pick":"Tria la ruta del projecte","worktreeInitV2.cancel":"Cancel·la","worktreeInitV2.notification.failedTitle":"La configuració de l’arbre de treball ha fallat","worktreeInitV2.output.empty":"Esperant la sortida…","worktreeInitV2.status.error":"La configuració de l’arbre de treball ha fallat.","worktreeInitV2.status.running":"S’està creant un arbre de treball i executant la configuració.","worktreeInitV2.status.runningFork":"S’està creant un arbre de treball per bifurcar aquesta conversa.","worktreeInitV2.status.success":"L’arbre de treball està a punt.","worktreeInitV2.title":"S’està creant l’arbre de treball","worktreeInitV2.workLocallyInstead":"Treballa localment","worktreeRestoreBanner.body":"L’arbre de treball d’aquest fil s’ha eliminat per estalviar espai de disc","worktreeRestoreBanner.missing.body":"El directori de treball d’aquest fil ja no existeix.","worktreeRestoreBanner.missing.title":"No es troba el directori de treball actual","worktreeRestoreBanner.restore.error":"No s’ha pogut restaurar l’arbre de treball: {message}","worktreeRestoreBanner.restore.success":"Arbre de treball restaurat","worktreeRestoreBanner.restoreCta":"Restaura l’arbre de treball","worktreeRestoreBanner.title":"S’ha buidat l’arbre de treball"};Object.assign(e,globalThis.codexI18nOverrides?.["ca-ES"]);export{e as default};
 //# sourceMappingURL=ca-ES-BqS4KiTd.js.map
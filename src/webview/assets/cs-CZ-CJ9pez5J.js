@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Zkopírovat","app.sidebar.hide":"Skrýt postranní panel","app.sidebar.show":"Zobrazit postranní panel","app.sidebar.tooltip":"Přepnout postranní panel","appHeader.installUpdate":"Aktualizovat","appSunset.body":"Tato verze aplikace už není podporovaná. Stáhni si nejnovější verzi <here>tady</here>.","appSunset.title":"Je vyžadována aktualizace","automation.updateDirective.create":"Vytvořit","automation.updateDirective.open":"Počáteční","automation.updateDirective.untitled":"Automatizace bez názvu","automation.updateDirective.update":"Aktualizovat","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# pokus} few {# pokusy} many {# pokusu} other {# pokusů}}","cloudTaskRow.archiveError":"Archivace úlohy se nezdařila","code.diff.requestChange":"Požádat o změnu","code.diffComment.cancel":"Zrušit","code.diffComment.comment":"Komentář","code.diffComment.delete":"Odstranit","code.diffComment.save":"Uložit","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Nebyla nahlášena žádná zjištění.","codex.alert.closeAriaLabel":"Zavřít","codex.appUpsellBanner.cbpApi.message":"Tvoř rychleji s aplikací Codex. Stáhni si ji teď nebo se podívej na {learnMoreLink}.","codex.appUpsellBanner.download":"Stáhnout","codex.appUpsellBanner.freeGo.message":"Codex je součástí tvého plánu do 2. března. Vyzkoušej aplikaci Codex a tvoř rychleji.","codex.appUpsellBanner.later":"Později","codex.appUpsellBanner.learnMoreLowercase":"další informace","codex.appUpsellBanner.new":"Nové","codex.appUpsellBanner.proPlusBusiness.message":"Vyzkoušej aplikaci Codex s dvojnásobnými limity požadavků do 2. dubna. Stáhni si teď nebo se podívej na {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikace Codex","codex.applyDropdown.header.changes":"Změny","codex.applyDropdown.header.fileCount":"{count, plural, one {# soubor} few {# soubory} many {# souboru} other {# souborů}}","codex.applyDropdown.header.rows":"řádky","codex.applyDropdown.header.title":"Použít změny","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 soubor s konfliktem:} few {{count} soubory s konfliktem:} many {{count} souboru s konfliktem:} other {{count} souborů s konfliktem:}}","codex.applyDropdown.results.empty":"Nezkopírovaly se žádné soubory","codex.applyDropdown.results.skipped":"{count, plural, one {1 přeskočený soubor:} few {{count} přeskočené soubory:} many {{count} přeskočeného souboru:} other {{count} přeskočených souborů:}}","codex.applyOrRevertBanner.apply":"Použít","codex.applyOrRevertBanner.applyMessage":"Použít změny a pokračovat místně?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Tento úkol byl proveden v prostředí {environment}, takže nemusí být plně použitelný.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Změny byly provedeny v prostředí {environment}, takže nemusí být plně použitelné.","codex.applyOrRevertBanner.reapply":"Použít znovu","codex.applyOrRevertBanner.revert":"Vrátit","codex.applyOrRevertBanner.revertMessage":"Zrušit uplatněné změny?","codex.applyResultsDialog.applied":"Použito plně ({count})","codex.applyResultsDialog.close":"Zavřít","codex.applyResultsDialog.conflicted":"S konfliktem ({count})","codex.applyResultsDialog.noDetails":"Nejsou k dispozici žádné podrobnosti o souboru.","codex.applyResultsDialog.skipped":"Přeskočené ({count})","codex.applyResultsDialog.title":"Použít výsledky","codex.archiveInfo":"Archivované chaty si můžeš prohlédnout ve složce {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Ovládací prvky pro data","codex.archiveInfo.electron":"Archivované chaty si můžeš prohlédnout ve složce {settingsLink}","codex.archiveInfo.extension":"Archivované chaty si můžeš prohlédnout ve složce .codex.","codex.archiveInfo.settingsLink":"Nastavení","codex.banner.content.description":"Spouštěj úkoly paralelně, sleduj jejich průběh odkudkoli a kontroluj PR pomocí AI.","codex.banner.content.headline":"To všechno Codex zvládne.","codex.cloudTaskRow.archiveTask":"Archivovat úlohu","codex.cloudTaskRow.confirmArchiveTask":"Potvrdit","codex.command.feedback":"Zpětná vazba","codex.command.findInThread":"Najít","codex.command.forceReloadSkills":"Vynutit opětovné načtení dovedností","codex.command.logOut":"Odhlásit se","codex.command.manageTasks":"Spravovat úlohy","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Zpět","codex.command.navigateForward":"Přeposlat","codex.command.newThread":"Nové vlákno","codex.command.nextThread":"Další vlákno","codex.command.openFolder":"Otevřít složku","codex.command.openSkills":"Přejít na dovednosti","codex.command.openThreadOverlay":"Otevřít vlákno v samostatném okně","codex.command.personalitySettings":"Osobnost","codex.command.previousThread":"Předchozí vlákno","codex.command.settings":"Nastavení","codex.command.toggleDiffPanel":"Přepnout panel diffu","codex.command.toggleSidebar":"Přepnout postranní panel","codex.command.toggleTerminal":"Přepnout terminál","codex.commandGroup.app":"Aplikace","codex.commandGroup.configure":"Konfigurace","codex.commandGroup.navigation":"Navigace","codex.commandGroup.panels":"Panely","codex.commandGroup.skills":"Dovednosti","codex.commandGroup.thread":"Vlákno","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Žádné shody","codex.commandMenu.searchPlaceholder":"Vyhledávací příkazy","codex.commandMenu.suggestedGroup":"Navržené","codex.commandMenu.switchWorkspace":"Přepnout projekt","codex.commandMenu.title":"Nabídka příkazu","codex.common.retry":"Opakovat","codex.composer.searchBranches":"Hledat větve","codex.dialog.basic.body":"Toto je jednoduché modální dialogové okno využívající náš wrapper komponenty Radix Dialog.","codex.dialog.basic.cancel":"Zrušit","codex.dialog.basic.confirm":"Potvrdit","codex.dialog.basic.open":"Otevřít dialogové okno","codex.dialog.basic.title":"Vzorové dialogové okno","codex.dialog.long.close":"Zavřít","codex.dialog.long.line":"Posuvný řádek {index} pro zobrazení dlouhého obsahu v dialogovém okně.","codex.dialog.long.open":"Otevřít dlouhé dialogové okno","codex.dialog.long.title":"Dialogové okno s dlouhým obsahem","codex.dialog.unstyled.body":"Tento příběh ukazuje, jak mohou volající plně ovládat styl obsahu dialogu.","codex.dialog.unstyled.open":"Otevřít dialogové okno bez stylu","codex.dialog.unstyled.title":"Obsah bez stylu","codex.diff.openInEditorPrompt.openButton":"Otevřít v editoru","codex.diff.openInEditorPrompt.singleLine":"Tento soubor je příliš velký na zobrazení tady.","codex.diffView.failedToDecodeBase64Diff":"Nepodařilo se dekódovat diff base64","codex.diffView.filesChanged":"{fileCount, plural, one {# změněný soubor} few {# změněné soubory} many {# změněného souboru} other {# změněných souborů}}","codex.diffView.imagePreviewAlt":"Náhled obrázku","codex.diffView.imagePreviewEmpty":"Žádný obrázek","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Žádné údaje o diffu","codex.diffView.pdfPreview.nextPage":"Další stránka","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Předchozí stránka","codex.diffView.pdfPreviewEmpty":"Žádný náhled PDF","codex.diffView.pdfPreviewError":"Nelze vykreslit náhled PDF","codex.diffView.richPreviewDisable":"Zakázat formátovaný náhled","codex.diffView.richPreviewEnable":"Povolit formátovaný náhled","codex.diffView.richPreviewLoading":"Načítání náhledu…","codex.diffView.richPreviewToggle":"Přepnout formátovaný náhled","codex.diffView.switchToUnified":"Přepnout na sjednocený diff","codex.environmentSelector.noEnvironment":"Žádné prostředí","codex.environments.environmentSettings":"Nastavení prostředí","codex.environments.learnMore":"Další informace","codex.environments.listError":"Prostředí se nepodařilo načíst.","codex.environments.noEnvironmentsFound":"Nenalezena žádná prostředí","codex.environments.searchError":"Prostředí se nepodařilo vyhledat.","codex.errorBoundary.genericError":"Jejda, došlo k chybě","codex.errorBoundary.goHome":"Zkusit znovu","codex.file.patch.missing":"Nelze vytvořit opravu pro tento soubor.","codex.gallery.automations.cwdLabel":"Projekty","codex.gallery.automations.nameLabel":"Jméno","codex.gallery.automations.namePlaceholder":"Shrň úkol","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Popiš, co by měl Codex dělat","codex.gallery.dialogs.automation.label":"Dialogové okno automatizace","codex.gallery.dialogs.basic.body":"Toto rozložení použij pro jednoduchá potvrzení nebo krátké formuláře.","codex.gallery.dialogs.basic.cancel":"Zrušit","codex.gallery.dialogs.basic.confirm":"Potvrdit","codex.gallery.dialogs.basic.label":"Základní dialogové okno","codex.gallery.dialogs.basic.title":"Vzorové dialogové okno","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Popiš problém","codex.gallery.dialogs.feedbackSubmission.bad":"Špatný výsledek","codex.gallery.dialogs.feedbackSubmission.bug":"Chyba","codex.gallery.dialogs.feedbackSubmission.good":"Dobrý výsledek","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Zahrnout protokoly aktuální relace Codexu","codex.gallery.dialogs.feedbackSubmission.label":"Odeslání zpětné vazby","codex.gallery.dialogs.feedbackSubmission.other":"Jiné","codex.gallery.dialogs.feedbackSubmission.placeholder":"Tady popiš problém","codex.gallery.dialogs.feedbackSubmission.submit":"Odeslat","codex.gallery.dialogs.feedbackSubmission.title":"Zpětná vazba","codex.gallery.dialogs.feedbackSuccess.body":"Zpětná vazba nahrána. Pokud problém přetrvává, otevři problém v GitHubu nebo přidej zmínku ID vlákna ve stávajícím otevřeném problému:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Zrušit","codex.gallery.dialogs.feedbackSuccess.label":"Zpětná vazba byla úspěšně odeslána","codex.gallery.dialogs.feedbackSuccess.title":"Zpětná vazba byla nahrána","codex.gallery.dialogs.gitApplyResults.applied":"Použito plně (2)","codex.gallery.dialogs.gitApplyResults.close":"Zavřít","codex.gallery.dialogs.gitApplyResults.conflicted":"S konfliktem (1)","codex.gallery.dialogs.gitApplyResults.label":"Použít výsledky","codex.gallery.dialogs.gitApplyResults.title":"Použít výsledky","codex.gallery.dialogs.gitPushError.body":"Stáhni si nejnovější změny nebo vynuť uložení změn, pokud víš, že vzdálenou historii lze bezpečně přepsat.","codex.gallery.dialogs.gitPushError.cancel":"Zrušit","codex.gallery.dialogs.gitPushError.force":"Vynutit uložení změn","codex.gallery.dialogs.gitPushError.label":"Chyba uložení změn","codex.gallery.dialogs.gitPushError.subtitle":"Ve větvi chybí změny z origin/main.","codex.gallery.dialogs.gitPushError.title":"Změny se nepodařilo uložit","codex.gallery.dialogs.gitRevert.cancel":"Zrušit","codex.gallery.dialogs.gitRevert.confirm":"Vrátit","codex.gallery.dialogs.gitRevert.label":"Vrátit změny","codex.gallery.dialogs.gitRevert.skip":"Znovu se neptat","codex.gallery.dialogs.gitRevert.subtitle":"Tato akce odebere všechny tyto změny.","codex.gallery.dialogs.gitRevert.title":"Vrátit změny?","codex.gallery.dialogs.longForm.label":"Dialogové okno s dlouhým formulářem","codex.gallery.dialogs.proseModal.body":"Tento styl modálního okna se používá pro delší pokyny, úvod do používání nebo bloky s formátovaným obsahem.","codex.gallery.dialogs.proseModal.close":"Zavřít","codex.gallery.dialogs.proseModal.subtitle":"Tady můžeš poskytnout podrobnější pokyny nebo dokumentaci.","codex.gallery.dialogs.proseModal.title":"Modální okno textu","codex.gallery.dialogs.submitBlocked.label":"Odeslání blokováno","codex.gallery.dialogs.submitBlocked.message":"Zprávu jsme nemohli odeslat, protože projekt není k dispozici.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Zprávu se nepodařilo odeslat","codex.gallery.dialogs.title":"Dialogová okna","codex.gallery.dropdown.filterPlaceholder":"Filtrovat položky","codex.gallery.dropdowns.actionRow":"Řádky akcí","codex.gallery.dropdowns.actionRow.disabled":"Zakázaná akce","codex.gallery.dropdowns.actionRow.primary":"Primární akce","codex.gallery.dropdowns.actionRow.secondary":"Sekundární akce","codex.gallery.dropdowns.actionRow.trigger":"Zobrazit akce","codex.gallery.dropdowns.basic":"Základní rozevírací seznam","codex.gallery.dropdowns.basic.newFile":"Nový soubor","codex.gallery.dropdowns.basic.newFolder":"Nová složka","codex.gallery.dropdowns.basic.openSettings":"Otevřít nastavení","codex.gallery.dropdowns.basic.title":"Rychlé akce","codex.gallery.dropdowns.basic.trigger":"Otevřít nabídku","codex.gallery.dropdowns.basic.upload":"Nahrát","codex.gallery.dropdowns.panel":"Povrch panelu","codex.gallery.dropdowns.panel.apply":"Použít","codex.gallery.dropdowns.panel.body":"Zkontroluj rozdíly a použij je na svůj projekt.","codex.gallery.dropdowns.panel.preview":"Náhled","codex.gallery.dropdowns.panel.title":"Použít změny","codex.gallery.dropdowns.panel.trigger":"Otevřít panel","codex.gallery.dropdowns.search":"Rozevírací seznam s vyhledáváním","codex.gallery.dropdowns.search.first":"Alfa kanál","codex.gallery.dropdowns.search.second":"Beta větev","codex.gallery.dropdowns.search.third":"Uvolnit uchazeče","codex.gallery.dropdowns.search.trigger":"Filtrovat položky","codex.gallery.dropdowns.submenu":"Rozevírací seznam s dílčí nabídkou","codex.gallery.dropdowns.submenu.optionA":"Projekt alfa","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Přiřadit vlastníka","codex.gallery.dropdowns.submenu.secondary":"Přesunout do","codex.gallery.dropdowns.submenu.tertiary":"Archivovat","codex.gallery.dropdowns.submenu.trigger":"Vyber akci","codex.gallery.dropdowns.title":"Rozevírací seznamy","codex.gallery.inbox.automations.close":"Zavřít","codex.gallery.inbox.automations.popover.cardTitle":"Správa automatizací","codex.gallery.inbox.automations.popover.dialogTitle":"Správa automatizací","codex.header.settingsTooltip":"Nastavení","codex.hunk.patch.error":"Příprava se nezdařila","codex.hunk.patch.missing":"Nelze vytvořit opravu pro tento blok.","codex.hunk.patch.partialSuccess":"Částečný úspěch","codex.hunk.patch.revertError":"Přípravu se nepodařilo zrušit","codex.hunk.patch.revertSuccess":"Příprava úspěšně zrušena","codex.hunk.patch.success":"Úspěšně připraveno","codex.legal.autonomy.details":"Podrobnosti najdeš v {link}","codex.legal.autonomy.details.link":"dokumentaci Codexu","codex.legal.autonomy.title":"Rozhodni se, kolik autonomie chceš udělit","codex.legal.backButton":"Zpět","codex.legal.cloud.taskOne.meta":"openai/agi · 12. října","codex.legal.cloud.taskOne.title":"Vysvětli úložiště novému designérovi","codex.legal.cloud.taskThree.meta":"openai/codex · 8. října","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Vytvořit motiv pro tmavý režim","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. října","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Oprava chyby v úvodu do používání","codex.legal.continue.apikey":"Pokračovat","codex.legal.continueButton":"Další","codex.legal.copilot.details":"Používá tvůj plán Copilot pro všechna volání modelů, fakturaci a limity požadavků. Používání rozšíření Codex podléhá {oaiTos} a{gitHubTos}.","codex.legal.copilot.gitHubTosLink":"podmínkám služby GitHub","codex.legal.copilot.oaiTosLink":"podmínkám služby OpenAI","codex.legal.copilot.title":"Využívá GitHub Copilot","codex.legal.mistakes.review":"Zkontroluj kód, který píše, a příkazy, které spouští","codex.legal.mistakes.title":"Codex může dělat chyby","codex.legal.powered.details":"Používá limity požadavků tvého plánu a {link}","codex.legal.powered.details.link":"předvolby ohledně používání dat k trénování","codex.legal.powered.title":"Využívá tvůj účet ChatGPT","codex.legal.step.cloud.subtitle":"Odesílej úkoly do Codexu, ať se spouští na pozadí, a ty se tak můžeš soustředit a pracovat rychleji.","codex.legal.step.cloud.title":"Odeslání do Codexu v cloudu","codex.legal.step.intro.subtitle":"Codex prochází, upravuje, spouští příkazy a provádí testy přímo ve tvém úložišti. Využívá tvůj účet ChatGPT.","codex.legal.step.intro.title":"Codex ve tvém prostředí IDE","codex.legal.step.todo.subtitle":"Napiš komentář TODO a jediným kliknutím jej převeď na úkol pro Codex.","codex.legal.step.todo.title":"Převáděj komentáře TODO na úkoly pro Codex","codex.legal.todo.heading":"// TODO: implementuj schéma","codex.localConversation.closeImagePreview":"Zavřít náhled obrázku","codex.localConversation.userImageAttachment":"Příloha od uživatele","codex.localTaskRow.archiveTask":"Archivovat vlákno","codex.localTaskRow.awaitingApproval":"Čeká na schválení","codex.localTaskRow.awaitingResponse":"Čeká na odpověď","codex.localTaskRow.confirmArchiveTask":"Potvrdit","codex.loggedOut.apiKeyPrompt.cancel":"Zrušit","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Získat API klíč","codex.loggedOut.apiKeyPrompt.inputLabel":"Zadej svůj API klíč OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Úkoly v cloudu jsou u API klíče vypnuty","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Úkoly v cloudu jsou u Copilotu a API klíče vypnuty","codex.loggedOut.signIn":"Přihlásit se pomocí služby ChatGPT","codex.loggedOut.signIn.cancel":"Zrušit přihlášení","codex.loggedOut.signInWithCopilot":"Přihlásit se pomocí Copilotu GitHub","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Použít API klíč","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} nástroj","codex.mcpTool.collapsedLabel.verb.called":"Volal","codex.mcpTool.collapsedLabel.verb.calling":"Volá","codex.mcpTool.embeddedResource.contentLabel":"Obsah","codex.mcpTool.embeddedResource.mimeTypeLabel":"Typ MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Nástroj nevrátil žádný obsah","codex.mcpTool.rawPayloadHeading":"Nezpracovaná datová část volání nástroje {server}.{tool}","codex.menu.recent":"Nejnovější","codex.menu.seeAllHistory":"Zobrazit celou historii","codex.modelCapacityBanner.headline.noReset":"{modelName} teď má plnou kapacitu. Zkus to znovu později nebo začni novou konverzaci s jiným modelem.","codex.modelCapacityBanner.headline.withReset":"{modelName} teď má plnou kapacitu. Zkus to znovu po {resetDate} nebo začni novou konverzaci s jiným modelem.","codex.modelCapacityBanner.title":"Vybraný model má plnou kapacitu","codex.patch.change.contentsDeleted":"Obsah byl odstraněn","codex.patch.change.created":"Vytvořeno","codex.patch.change.created-file":"Soubor byl vytvořen","codex.patch.change.creating":"Vytváření","codex.patch.change.deleted":"Odstraněno","codex.patch.change.deleted-file":"Soubor byl odstraněn","codex.patch.change.deleting":"Odstraňování","codex.patch.change.edited":"Byla provedena úprava","codex.patch.change.edited-file":"Upravený soubor","codex.patch.change.editing":"Úpravy","codex.patch.change.noChanges":"Beze změn","codex.patch.change.rejected-add":"Odmítnuto","codex.patch.change.rejected-delete":"Odmítnuto","codex.patch.change.rejected-edit":"Odmítnuto","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Dokončených úkolů: {completed} z {total}","codex.plan.todoListCreated":"Byl vytvořen seznam {total} úkolů","codex.profileDropdown.apiKeyAuth":"Přihlášen/a pomocí API klíče","codex.profileDropdown.codexSettings":"Nastavení služby Codex","codex.profileDropdown.copilotAuth":"Přihlášen/a pomocí Copilotu","codex.profileDropdown.defaultAccountTitle":"Výchozí účet","codex.profileDropdown.enterBehavior":"Dlouhé prompty odešleš pomocí {modifierSymbol}+Enter","codex.profileDropdown.enterBehaviorError":"Nepodařilo se aktualizovat nastavení","codex.profileDropdown.getPlus":"Získej vyšší limity upgradem","codex.profileDropdown.keyboardShortcuts":"Klávesové zkratky","codex.profileDropdown.language":"Jazyk","codex.profileDropdown.languageDefault":"Automatická detekce","codex.profileDropdown.languageSearchPlaceholder":"Vyhledat jazyky","codex.profileDropdown.languageUpdateError":"Jazyk se nepodařilo aktualizovat","codex.profileDropdown.logOut":"Odhlásit se","codex.profileDropdown.mcp":"Nastavení MPC","codex.profileDropdown.openConfigToml":"Otevřít config.toml","codex.profileDropdown.openConfigToml.wsl":"Otevřít config.toml v prostředí WSL","codex.profileDropdown.openExtensionSettings":"Otevřít nastavení","codex.profileDropdown.openMcpSettings":"Otevřít nastavení MPC","codex.profileDropdown.openOnStartup":"Otevírat při spouštění","codex.profileDropdown.openOnStartupError":"Nepodařilo se aktualizovat nastavení","codex.profileDropdown.openSkillsSettings":"Otevřít nastavení funkce Dovednosti","codex.profileDropdown.personalAccountTitle":"Osobní účet","codex.profileDropdown.queueFollowUps":"Zařazovat pokračování do fronty","codex.profileDropdown.queueFollowUpsError":"Nepodařilo se aktualizovat nastavení","codex.profileDropdown.readDocs":"Přečíst dokumentaci","codex.profileDropdown.readSkillsDocs":"Přečíst dokumentaci","codex.profileDropdown.runInWsl":"Spouštět ve WSL","codex.profileDropdown.runInWslError":"Nepodařilo se aktualizovat nastavení","codex.profileDropdown.runInWslTooltip":"Spouští Codex ve WSL. Doporučeno pro zvýšení bezpečnosti sandboxu a lepší výkon.","codex.profileDropdown.settings":"Nastavení IDE","codex.profileDropdown.settingsPage":"Nastavení","codex.profileDropdown.signInWithOpenAI":"Přihlásit se pomocí služby ChatGPT","codex.profileDropdown.skills":"Nastavení funkce Dovednosti","codex.profileDropdown.switchToCopilotAccount":"Použít účet Copilot","codex.profileDropdown.switchToOpenAIAccount":"Použít účet OpenAI","codex.profileDropdown.todoCodelens":"Opravit komentáře TODO","codex.profileDropdown.todoCodelensError":"Nepodařilo se aktualizovat nastavení","codex.profileDropdown.windowsDocumentation":"Dokumentace Windows","codex.profileFooter.signedInFallback":"Nastavení","codex.profileFooter.upgrade":"Upgradovat","codex.recentTasksMenu.clearSearch":"Vymazat vyhledávání","codex.recentTasksMenu.cloud":"Úkoly v cloudu","codex.recentTasksMenu.count":"{count, plural, =0 {Neprobíhají žádné úlohy} one {Probíhá # úloha} few {Probíhají # úlohy} many {Probíhá # úlohy} other {Probíhá # úloh}}","codex.recentTasksMenu.empty":"Zatím žádná vlákna","codex.recentTasksMenu.errorCloud":"Nepodařilo se načíst úkoly.","codex.recentTasksMenu.errorCloud.inline":"Nepodařilo se načíst úkoly v cloudu.","codex.recentTasksMenu.filterAll":"Vše","codex.recentTasksMenu.filterCloudTasks":"Filtrovat úkoly v cloudu","codex.recentTasksMenu.filterTooltip":"Filtrovat úkoly podle prostředí","codex.recentTasksMenu.local":"Místní úkoly","codex.recentTasksMenu.recent":"Všechny úlohy","codex.recentTasksMenu.search":"Vyhledat nedávné úkoly","codex.recentTasksMenu.searchEmpty":"Žádný výsledek","codex.recentTasksMenu.tooltip":"Historie úkolů","codex.recentTasksMenu.trigger":"Nedávné úkoly. {count, plural, one {Probíhá #.} few {Probíhají #.} many {Probíhá #.} other {Probíhá #.}}","codex.remoteConversation.applyDiff.applyCta":"Použít změny","codex.remoteConversation.applyDiff.dropdownTitle":"Použít změny na místní větev","codex.remoteConversation.applyDiff.revertCta":"Vrátit změny","codex.remoteConversation.closeImagePreview":"Zavřít náhled obrázku","codex.remoteConversation.codexCloudTask":"Prohlížíš si úkol <u>Codexu v cloudu</u>","codex.remoteConversation.errorWithMessage":"Chyba: {message}","codex.remoteConversation.loadingImage":"Načítání obrázku","codex.remoteConversation.openInWeb":"Otevřít na webu","codex.remoteConversation.streaming":"Začínáme","codex.remoteConversation.turnFailed":"Během tohoto úkolu došlo k chybě","codex.remoteConversation.turnTab.loading":"Pokus {number}","codex.remoteConversation.turnTab.title":"Pokus {number}","codex.remoteConversation.userImageAttachment":"Příloha od uživatele","codex.remoteConversation.viewPreviousTurns":"Otevřít na webu","codex.remoteConversation.viewPreviousTurns.buttonText":"Počáteční","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Otevřít na webu","codex.review.copyGitApplyCommand":"Zkopírovat příkaz git apply","codex.review.copyGitApplyCommand.toast":"Příkaz git apply byl zkopírován do schránky","codex.review.diffTooLarge.description":"Tento diff je příliš velký na zobrazení v Kontrole.","codex.review.diffTooLarge.title":"Diff je příliš velký na zobrazení","codex.review.expandOrCollapseDiffButton.collapse":"Sbalit všechny diffy","codex.review.expandOrCollapseDiffButton.expand":"Rozbalit všechny diffy","codex.review.expandOrCollapseDiffMenu.collapse":"Sbalit všechny diffy","codex.review.expandOrCollapseDiffMenu.expand":"Rozbalit všechny diffy","codex.review.fileSearch.clear":"Vymazat filtr souborů","codex.review.fileSearch.empty":"Aktuálnímu filtru neodpovídají žádné soubory.","codex.review.fileSearch.label":"Filtrovat soubory","codex.review.fileSearch.placeholder":"Filtrovat soubory…","codex.review.filesChanged":"{num, plural, =0 {Nezměnily se žádné soubory} one {# změněný soubor} few {# změněné soubory} many {# změněných souborů} other {# změněných souborů}}","codex.review.find.loadMore":"Načíst další shody","codex.review.fullReview.hideFileTree":"Skrýt souborový strom","codex.review.fullReview.showFileTree":"Zobrazit souborový strom","codex.review.header.moreOptions":"Možnosti kontroly","codex.review.largeDiff.banner":"Byl zjištěn velký diff – soubory se zobrazují po jednom.","codex.review.loadFullFiles.disable":"Nenačítat úplné soubory","codex.review.loadFullFiles.enable":"Načíst úplné soubory","codex.review.noDiff":"Tady se zobrazí změny souborů","codex.review.noDiff.gitInit.createRepository":"Vytvořit úložiště git","codex.review.noDiff.gitInit.creating":"Vytváření…","codex.review.noDiff.gitInit.error":"Initializace gitu se nezdařila: {message}","codex.review.noDiff.gitInit.success":"Úložiště git bylo vytvořeno","codex.review.noDiff.gitRepoRequired.description":"Sledovat změny v tomto projektu a vrátit je","codex.review.noDiff.gitRepoRequired.title":"Vytvořit úložiště git","codex.review.noDiff.orNoLongerAvailable":"nebo nejnovější diffy už nejsou k dispozici","codex.review.noDiff.reverted":"Poslední běh byl vrácen","codex.review.noDiff.revertedOrCommitted":"Poslední běh byl vrácen nebo potvrzen","codex.review.refreshGitQueries":"Aktualizovat","codex.review.revert.file.error":"Soubor {path} se nepodařilo vrátit","codex.review.revert.file.partialSuccess":"Soubor {path} byl částečně vrácen","codex.review.revert.file.success":"Soubor {path} byl vrácen","codex.review.revert.hunk.error":"Blok {hunkNumber} v {path} se nepodařilo vrátit","codex.review.revert.hunk.partialSuccess":"Blok {hunkNumber} v {path} byl částečně vrácen","codex.review.revert.hunk.success":"Blok {hunkNumber} v {path} byl vrácen","codex.review.revert.section.error":"Část se nepodařilo vrátit","codex.review.revert.section.partialSuccess":"Část byla částečně vrácena","codex.review.revert.section.success":"Část byla vrácena","codex.review.revertDialog.cancel":"Zrušit","codex.review.revertDialog.confirm":"Potvrdit","codex.review.revertDialog.message":"Tato akce odebere všechny tyto změny.","codex.review.revertDialog.skip":"Znovu se neptat","codex.review.revertDialog.title":"Vrátit změny?","codex.review.richPreview.disable":"Zakázat formátovaný náhled","codex.review.richPreview.enable":"Povolit formátovaný náhled","codex.review.source.cloud":"Změny v cloudu","codex.review.source.local.all":"Všechny změny větve","codex.review.source.local.lastTurn":"Změny v posledním běhu","codex.review.source.local.uncommitted":"Změny bez commitu","codex.review.source.worktree":"Změny pracovního stromu bez commitu","codex.review.stageFilter.empty.staged.description":"Přijetím změn je připravíš","codex.review.stageFilter.empty.staged.title":"Žádné připravené změny","codex.review.stageFilter.empty.unstaged.description":"Tady se zobrazí změny kódu","codex.review.stageFilter.empty.unstaged.title":"Žádné připravené změny","codex.review.stageFilter.staged":"Připravené","codex.review.stageFilter.staged.count":"Připravené · {count}","codex.review.stageFilter.unstaged":"Nepřipravené","codex.review.stageFilter.unstaged.count":"Připravené · {count}","codex.review.switchToSplit":"Přepnout na rozdělený diff","codex.review.switchToUnified":"Přepnout na sjednocený diff","codex.review.toggleDiffView":"Přepnout zobrazení diffu","codex.review.wordDiffs.disable":"Zakázat rozdíly mezi slovy","codex.review.wordDiffs.enable":"Povolit rozdíly mezi slovy","codex.review.wrap.disable":"Zakázat zalamování textu","codex.review.wrap.enable":"Povolit zalamování textu","codex.section.patch.missing":"Nelze vytvořit opravu pro tuto část","codex.shell.collapse":"Sbalit shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Obsah shellu byl zkopírován","codex.shell.copy.copyTooltip":"Zkopírovat obsah shellu","codex.shell.copyCommand":"Zkopírovat příkaz","codex.shell.copyOutput":"Zkopírovat výstup","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Rozbalit shell","codex.shell.name":"Shell","codex.shell.noOutput":"Žádný výstup","codex.signInFailed.message":"Přihlášení se nezdařilo: {rawMessage}","codex.stories.toast.show":"Zobrazit vyskakovací oznámení ","codex.stories.tooltip.basic":"Toto je popisek","codex.stories.tooltip.hoverMe":"Přejeď přes mne","codex.stories.tooltip.largerOffset":"Tento popisek má větší odsazení","codex.stories.tooltip.offsetButton":"Větší odsazení","codex.stories.tooltip.shortcutButton":"Se zkratkou","codex.stories.tooltip.withShortcut":"Přepnout terminál","codex.taskRow.title":"Nové vlákno","codex.taskRowLayout.confirm":"Potvrdit","codex.threadFindBar.chatFilter":"Hledat v chatu","codex.threadFindBar.close":"Zavřít panel vyhledávání","codex.threadFindBar.diffFilter":"Hledat v diffech","codex.threadFindBar.label":"Najít ve vlákně","codex.threadFindBar.nextResult":"Další výsledek","codex.threadFindBar.noResults":"0 výsledků","codex.threadFindBar.placeholder":"Hledat ve vlákně…","codex.threadFindBar.placeholder.extension":"Hledat ve vlákně…","codex.threadFindBar.placeholder.review":"Hledat diff…","codex.threadFindBar.placeholder.review.extension":"Hledat diff…","codex.threadFindBar.previousResult":"Předchozí výsledek","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# změněný soubor} few {# změněné soubory} many {# změněného souboru} other {# změněných souborů}}","codex.unifiedDiff.inlineLargeFile":"Příliš velký pro vykreslení v řádku","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Vrátit zpět","codex.unifiedDiff.revertPatchError":"Změny se nepodařilo zrušit","codex.unifiedDiff.revertPatchSuccess":"Změny byly zrušeny","codex.unifiedDiff.reviewChangesSuffix":"změn(y)","codex.unifiedDiff.reviewShort":"Kontrola","codex.unifiedDiff.viewDiffTooltip":"Kontrola","codex.upsellBanner.business.headline":"Pokud chceš získat vyšší limity pro přístup, pošli žádost správci nebo počkej do {resetDate}.","codex.upsellBanner.cbp.headline":"Pokud chceš získat vyšší limity pro přístup, pošli žádost správci.","codex.upsellBanner.cta.addCredits":"Přidat kredity","codex.upsellBanner.cta.upgradeAccount":"Upgradovat","codex.upsellBanner.cta.viewUsage":"Zobrazit využití","codex.upsellBanner.free.trialHeadline":"Limit se ti resetuje {resetDate}. Pokud chceš používat Codex i dál a získat přístup k GPT-5.3-Codex, začni ještě dnes s bezplatnou zkušební verzí Plus.","codex.upsellBanner.freeOrGo.headline":"Tvůj limit požadavků se resetuje {resetDate}. Pokud chceš Codex používat i dál, upgraduj ještě dnes na verzi Plus.","codex.upsellBanner.general.headline":"Tvůj limit požadavků se resetuje {resetDate}.","codex.upsellBanner.general.title":"Máš vyčerpaný limit zpráv v Codexu","codex.upsellBanner.go.trialHeadline":"Limit se ti resetuje {resetDate}. Pokud chceš používat Codex i dál, začni ještě dnes s bezplatnou zkušební verzí Plus.","codex.upsellBanner.plus.headline":"Tvůj limit požadavků se resetuje {resetDate}. Pokud chceš Codex používat i dál, upgraduj ještě dnes na verzi Pro.","codex.upsellBanner.pro.headline":"Tvůj limit požadavků se resetuje {resetDate}. Pokud chceš Codex používat i dál, přidej si kredity.","codex.userMessage.autoResolveSync":"Automaticky řešit konflikty","codex.userMessage.commentCount":"{count, plural, one {# komentář} few {# komentářů} many {# komentářů} other {# komentářů}}","codex.userMessage.copiedAriaLabel":"Zkopírováno","codex.userMessage.copiedTooltip":"Zkopírováno","codex.userMessage.copyAriaLabel":"Zkopírovat zprávu","codex.userMessage.copyTooltip":"Zkopírovat","codex.userMessage.implementPlan":"Implementovat plán","codex.userMessage.noContent":"(Žádný obsah)","codex.userMessage.priorConversation":"Odkazuje na předchozí konverzaci","codex.userMessage.reviewMode":"Režim kontroly","codex.webSearch.summary":"{label} {details}","codex.webSearch.summary.details":"pro {query}","codex.webSearch.summary.verb.completed":"Hledal na webu","codex.webSearch.summary.verb.inProgress":"Hledá na webu","codex.windowsInstallWslBanner.dismiss":"Zrušit","codex.windowsInstallWslBanner.installWslCta":"Povolit sandbox","codex.windowsInstallWslBanner.learnMore":"Další informace","codex.windowsSandboxBanner.content":"Režim agenta využívá experimentální sandbox ve Windows k omezení přístupu k souborovému systému a síti. {sandboxLink}","codex.windowsSandboxBanner.title":"Povolit sandbox v režimu agenta","codex.windowsSubDropdown.windowsSandbox":"Sandbox Windows","codex.windowsSubDropdown.windowsSettings":"Nastavení Windows","codexUpgradeModal.body":"Náš nejvyspělejší agentní programovací model – chytřejší, rychlejší a schopnější v obecné technické práci. {link}","codexUpgradeModal.close":"Zavřít","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Další informace","codexUpgradeModal.title":"Představujeme GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Vyzkoušet GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Pokračovat s aktuálním modelem","commentAttachments.numComments":"{count, plural, one {# komentář} few {# komentáře} many {# komentáře} other {# komentářů}}","commentAttachments.removeAriaLabel":"Odebrat přílohu komentářů","common.close":"Zavřít","composer.addContext.openFilePickerError":"Nelze otevřít výběr souboru","composer.addContextDropdown.ariaLabel":"Přidávání souborů a další","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Přidávání souborů a další","composer.addPhotosAndFiles":"Přidat fotografie a soubory","composer.atMentionList.emptyQuery":"Začni psát text a vyhledej soubory","composer.atMentionList.loading":"Vyhledávání…","composer.atMentionList.noResults":"Žádné výsledky","composer.attemptsSelector.option":"{count, plural, one {# verze} few {# verze} many {# verzí} other {# verzí}}","composer.attemptsSelector.tooltip":"Počet paralelních pokusů, které má Codex provést","composer.attemptsSelector.trigger":"{count}×","composer.backgroundTerminals.stop":"Zastavit","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Místně","composer.cloudFollowUp.whereRun":"Kde se má tento následný krok spouštět?","composer.cloudTaskCreationError":"Při vytváření úkolu v cloudu k chybě","composer.cloudTaskError":"Při vytváření úkolu došlo k chybě","composer.contextWindow.autoCompactionTooltipLine1":"Codex automaticky komprimuje svůj kontext","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontextové okno:","composer.contextWindowUsageStatusFull":"Zaplněno z {usage} %","composer.contextWindowUsageStatusLeft":"Využito {usage} % (zbývá {remaining} %)","composer.contextWindowUsageTooltip":"Použitých tokenů: {usedTokens} tis. / {contextWindow} tis.","composer.customCliTooltip":"Použití vlastního spustitelného souboru CLI","composer.dictation.aria":"Diktování","composer.dictation.cancel.aria":"Ukončit diktování","composer.dictation.cancel.tooltip":"Ukončit diktování","composer.dictation.startError":"Diktování nelze zahájit","composer.dictation.submit.aria":"Přepsat a odeslat","composer.dictation.submit.tooltip":"Přepsat a odeslat","composer.dictation.tooltip":"Diktování zahájíš přidržením","composer.dictation.transcribeError":"Zvuk nelze přepsat","composer.dictation.unsupported":"Diktování není v tomto zařízení k dispozici","composer.dropOverlay.holdShift":"Obrázek upustíš podržením klávesy {key}","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Vytvořit nové","composer.environmentSelector.error":"Při načítání prostředí došlo k chybě","composer.environmentSelector.goBack":"Zpět k editoru","composer.environmentSelector.title":"Vyber prostředí","composer.environmentSelector.tooltip":"Vyber cloudové prostředí","composer.feedbackSlashCommand.title":"Zpětná vazba","composer.filePicker.selectFile":"Vyber soubor","composer.filePicker.selectFiles":"Vyber soubory","composer.followerTooltip":"Pokud chceš pokračovat, vrať se do okna, kde tato konverzace začala.","composer.footer.branchSwitch.checkoutError":"Větev se nepodařilo přepnout: {message}","composer.footer.branchSwitch.createAndCheckout":"Vytvořit a přepnout novou větev…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Pokud chceš vytvořit a přepnout novou větev, proveď commit změn","composer.footer.branchSwitch.createBranchError":"Větev se nepodařilo vytvořit: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Název větve","composer.footer.branchSwitch.createDialog.branchExistsError":"Větev už existuje.","composer.footer.branchSwitch.createDialog.close":"Zavřít","composer.footer.branchSwitch.createDialog.createAndCheckout":"Vytvořit a přepnout","composer.footer.branchSwitch.createDialog.placeholder":"nova-vetev","composer.footer.branchSwitch.createDialog.title":"Vytvořit a přepnout větev","composer.footer.branchSwitch.createDialog.trailingSlashError":"Název větve nemůže končit na „/“.","composer.footer.branchSwitch.tooltip":"Změnit větev","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Proveď commit změn v {fileCount, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}} a přepni {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Proveď commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"změn v {fileCount, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}} a přepni {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Zrušit","composer.footer.branchSwitch.uncommittedDialog.commit":"Provést commit a změnit větev…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Tvoje změny následujících souborů budou při přepnutí přepsány:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Pokud chceš pokračovat, proveď commit změn","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"vybraná větev","composer.footer.branchSwitch.uncommittedDialog.title":"Pokud chceš změnit větev, proveď commit změn","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Bez commitu: {fileCount, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}}","composer.forkSlashCommand.description":"Vytvořit větev tohoto vlákna jako místní nebo nový pracovní strom","composer.forkSlashCommand.option.local.description":"Pokračovat v novém místním vlákně","composer.forkSlashCommand.option.local.title":"Vytvořit větev jako místní","composer.forkSlashCommand.option.worktree.description":"Pokračovat v novém pracovním stromu","composer.forkSlashCommand.option.worktree.title":"Vytvořit větev jako nový pracovní strom","composer.forkSlashCommand.title":"Rozvětvit","composer.ideContextIndicator":"Kontext IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Zahrnout kontext z IDE","composer.ideContextIndicator.tooltipToggle":"pro přepnutí","composer.ideContextSlashCommand.disableDescription":"Vypnout kontext IDE","composer.ideContextSlashCommand.enableDescription":"Zahrnout aktuální výběr, otevřené soubory a další kontext z tvého IDE","composer.ideContextSlashCommand.title":"Kontext IDE","composer.imageInputsUnsupported":"Tento model nepodporuje obrázkové vstupy. Zkus jiný model.","composer.imageUploadFailed":"Obrázek se nepodařilo nahrát","composer.includeIdeContextDropdown":"Zahrnout kontext IDE","composer.includeIdeContextDropdown.ariaLabel":"Zahrnout kontext IDE","composer.localCwdDropdown.addWorkspaceRoot":"Přidat nový projekt","composer.localCwdDropdown.noActiveRoot":"Vyber svůj projekt","composer.localCwdDropdown.noResults":"Nebyly nalezeny žádné složky","composer.localCwdDropdown.title":"Vyber svůj projekt","composer.localTaskError":"Při zahajování konverzace došlo k chybě","composer.mcpSlashCommand.description":"Zobrazovat stav serveru MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Neověřeno","composer.mcpStatus.authOauth":"Ověřeno (OAuth)","composer.mcpStatus.authToken":"Ověřeno (API klíč)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zavřít","composer.mcpStatus.disabled":"Zakázáno","composer.mcpStatus.emptyLabel":"Servery:","composer.mcpStatus.emptyValue":"Nejsou nakonfigurovány žádné servery MCP","composer.mcpStatus.enabled":"Povoleno","composer.mcpStatus.errorLabel":"Stav:","composer.mcpStatus.errorValue":"Stav MCP nelze načíst","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Přepnout režim","composer.mode.agentMode.custom":"Vlastní","composer.mode.agentMode.custom.dropdownLabel":"Vlastní","composer.mode.agentMode.custom.option":"Vlastní (config.toml)","composer.mode.agentMode.custom.optionLabel":"Vlastní (config.toml)","composer.mode.agentMode.customInfo.cancel":"Zrušit","composer.mode.agentMode.customInfo.cli":"Tato nastavení můžeš upravit z příkazového řádku nebo přímou úpravou souboru.","composer.mode.agentMode.customInfo.confirm":"Použít vlastní režim","composer.mode.agentMode.customInfo.description":"Vlastní režim uplatní zásady pro schvalování a sandbox definované ve tvém souboru<link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Další informace o konfiguraci zásad pro schvalování a sandbox najdeš v<link>dokumentaci běhového prostředí</link>.","composer.mode.agentMode.customInfo.refresh":"Veškeré změny se projeví při příštím spuštění agenta.","composer.mode.agentMode.customInfo.title":"Jak funguje vlastní režim","composer.mode.agentMode.fullAccess":"Agent (úplný přístup)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (úplný přístup)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (úplný přístup)","composer.mode.agentMode.fullAccessConfirm.caution":"Při povolování úplného přístupu zachovej opatrnost. Výrazně se tím zvyšuje riziko ztráty dat, úniku informací nebo neočekávaného chování.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ano, přesto pokračovat","composer.mode.agentMode.fullAccessConfirm.description":"Když je služba Codex spuštěna s úplným přístupem, může bez tvého souhlasu upravovat jakýkoli soubor ve vašem počítači a spouštět příkazy v síti.","composer.mode.agentMode.fullAccessConfirm.goBack":"Zrušit","composer.mode.agentMode.fullAccessConfirm.title":"Povolit úplný přístup?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Přepnout režim","composer.mode.agentMode.tooltip.auto":"Čtení a úpravy souborů a spouštění příkazů.","composer.mode.agentMode.tooltip.custom":"Uplatní se nejnovější zásady pro schvalování a sandbox definované v souboru config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex může upravovat soubory mimo tento projekt a spouštět příkazy s přístupem k síti. Při používání zachovej opatrnost.","composer.mode.agentMode.tooltip.readOnly":"Vyžaduje schválení pro úpravy souborů a spouštění příkazů.","composer.mode.cloud.tooltip":"Pracovat v cloudovém prostředí","composer.mode.contactAdmin":"Pro rozšířený přístup kontaktuj správce","composer.mode.local":"Místně","composer.mode.local.learnMore":"Další informace","composer.mode.local.model.custom":"Vlastní","composer.mode.local.model.loadingModel":"Načítání modelu","composer.mode.local.model.selecrReasoningEffort":"Vyber odůvodňování","composer.mode.local.model.selectModel":"Vyber model","composer.mode.local.model.tooltip":"Vyber model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Vysoké","composer.mode.local.reasoning.low.label":"Nízké","composer.mode.local.reasoning.medium.label":"Střední","composer.mode.local.reasoning.minimal.label":"Minimální","composer.mode.local.reasoning.none.label":"Nic","composer.mode.local.reasoning.xhigh.label":"Mimořádně vysoká","composer.mode.localRemoteWhereRun":"Vyber, kde se má úkol spustit","composer.mode.newTask.header":"Pokračovat v","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Zbývající limity požadavků","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"Limit modelu {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {týdenní limit} few {{weeks}týdenní limit} many {{weeks}týdenní limit} other {{weeks}týdenní limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Každý týden} few {{weeks}týdenní} many {{weeks}týdenní} other {{weeks}týdenní}}","composer.mode.remote.connectToCloud":"Připojit web Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Nastav prostředí prostřednictvím webu Codex, aby bylo možné odesílat úkoly do cloudu.","composer.mode.remote.selectEnvironment":"Vyber prostředí","composer.mode.remote.sendToCloud":"Odeslat do cloudu","composer.mode.remote.setupViaWeb":"Nastavit prostředí prostřednictvím webu Codex","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Pracovat v cloudovém prostředí","composer.mode.segmentedToggle.local.tooltip":"Pracovat v místním projektu","composer.mode.segmentedToggle.worktree.tooltip":"Pracovat v paralelním pracovním stromu","composer.mode.upgradeToPlus":"Upgradovat na verzi Plus","composer.mode.upgradeToPro":"Upgradovat na verzi Pro","composer.mode.workLocally":"Místní projekt","composer.mode.workLocally.currentBranchFallback":"tvoje větev","composer.mode.workLocally.tooltip":"Pracovat na {branchName}","composer.mode.worktree":"Nový pracovní strom","composer.mode.worktree.submoduleWarning":"Toto úložiště má dílčí moduly gitu. Pracovní strom se nemusí podařit vytvořit","composer.mode.worktree.tooltip":"Vytvoření kopie místního projektu pro paralelní práci","composer.mode.worktreeSegment":"Pracovní strom","composer.modelChangeDuringConversationWarning.toast":"Změna modelu uprostřed konverzace sníží výkon.","composer.newChat.heading.browser":"Co bychom měli naprogramovat v budoucnu?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex používá oprávnění definované v souboru config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex má plný přístup ke tvému počítači (zvýšené riziko)","composer.permissionsDropdown.custom.label":"Vlastní (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Vlastní (config.toml)","composer.permissionsDropdown.default.label":"Výchozí oprávnění","composer.permissionsDropdown.default.optionLabel":"Výchozí oprávnění","composer.permissionsDropdown.default.tooltip":"Codex automaticky spouští příkazy v sandboxu","composer.permissionsDropdown.disabled.requirements":"Oprávnění jsou uzamčena souborem requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Úplný přístup zakazuje soubor requirements.toml","composer.permissionsDropdown.fullAccess.label":"Úplný přístup","composer.permissionsDropdown.fullAccess.optionLabel":"Úplný přístup","composer.permissionsDropdown.trigger.tooltip":"Změnit oprávnění","composer.personalitySlashCommand.description.friendly":"Vřelý, ochotný a nápomocný","composer.personalitySlashCommand.description.pragmatic":"Stručný, zaměřený na úkol a přímý","composer.personalitySlashCommand.label.friendly":"Přátelský","composer.personalitySlashCommand.label.pragmatic":"Pragmatický","composer.personalitySlashCommand.notApplicableSuffix":"(Nevztahuje se na aktuální model)","composer.personalitySlashCommand.title":"Osobnost","composer.placeholder.cloudFollowUp.directFollowUp":"Pokračování tohoto úkolu v cloudu","composer.placeholder.cloudFollowUp.local":"Vytvoření nového místního úkolu, který odkazuje na tento úkol v cloudu","composer.placeholder.cloudFollowUp.workingTree":"Vytvoření nového úkolu v cloudu, který obsahuje tvůj aktuální kód a bude odkazovat na tento úkol","composer.placeholder.localFollowUp.cloud":"Pokračování v novém úkolu v cloudu","composer.placeholder.localFollowUp.locally":"Požádej o následné změny","composer.placeholder.newTask.cloud":"Požádej Codex, ať udělá cokoli v cloudu","composer.placeholder.newTask.doAnything":"Požádej Codex o cokoli","composer.placeholder.newTask.locally":"Zeptej se Codexu na cokoli. Soubory přidáš znakem @, příkazy /","composer.planModeDropdown":"Režim plánu","composer.planModeDropdown.ariaLabel":"Režim plánu","composer.planModeIndicator":"Plán","composer.planModeIndicator.hintShortcut":"Cmd + Shift + P","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Vytvoř plán pomocí Codexu","composer.planModeIndicator.tooltipToggle":"pro přepnutí","composer.planSlashCommand.disableDescription":"Vypnout režim plánu","composer.planSlashCommand.enableDescription":"Zapnout režim plánu","composer.planSlashCommand.title":"Režim plánu","composer.priorContext.label":"Předchozí kontext","composer.priorContext.removeAriaLabel":"Odebrat předchozí kontext","composer.queuedMessage.delete":"Odstranit zprávy ve frontě","composer.queuedMessage.edit":"Upravit zprávu","composer.queuedMessage.more":"Akce u zpráv ve frontě","composer.queuedMessage.sendNow":"Řízení","composer.queuedMessage.sendNowTooltip":"Odeslat teď bez přerušování práce","composer.queuedMessage.turnOff":"Vypnout zařazování do fronty","composer.reasoningEffort.local.reasoning.tooltip":"Vyber náročnost odůvodňování","composer.remote.branchStartingPoint":"Od jaké větve by měl tento úkol začít?","composer.remote.branchesSectionHeading":"Větve","composer.remote.currentEditsSuffix.followUp":"Vytvoření nového úkolu, který odkazuje na tento úkol v cloudu.","composer.remote.currentEditsSuffix.useLocal":"s místními změnami kódu","composer.remote.directFollowUp":"Nepoužívat místní změny","composer.remote.errorLoadingBranches":"Při načítání větví došlo chybě","composer.remote.fromBranch":"Z větve {branch}","composer.remote.fromCurrentBranch":"Z větve {branch} (aktuální)","composer.remote.loadingMoreBranches":"Načítání...","composer.remote.localFileStateHeading":"Stav místního souboru","composer.remote.localWorkingTree":"Použít místní změny","composer.remote.startingPoint":"Od jakého kódu by měl tento úkol začít?","composer.reviewMode.branches.error":"Větve nelze načíst","composer.reviewMode.branches.retry":"Opakovat","composer.reviewMode.gitRoot.error":"Kořenový adresář Git nebyl nalezen","composer.reviewMode.option.baseBranch.simple":"Zkontrolovat oproti základní větvi","composer.reviewMode.option.unstaged.simple":"Zkontrolovat změny bez commitu","composer.reviewMode.quickReviewError":"Kontrolu kódu se nepodařilo spustit.","composer.reviewMode.title":"Kontrola kódu","composer.sandboxButton.unlock.disabled.tooltip":"Úplný přístup zakazuje soubor requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex může využívat experimentální sandbox ve Windows k omezení přístupu k souborovému systému a síti. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Povolit sandbox Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Používat pouze pro čtení","composer.searchEnvironments":"Hledat prostředí","composer.skillMentionList.app":"Aplikace","composer.skillMentionList.loading":"Načítání dovedností…","composer.skillMentionList.noResults":"Nebyly nalezeny žádné dovednosti","composer.slashCommands.cloudEnvironment.title":"Cloudové prostředí","composer.slashCommands.dialogLabel":"Nabídka příkazu s lomítkem","composer.slashCommands.dialogTitle":"Příkazy s lomítkem","composer.slashCommands.disabledTooltip":"Pokud chceš používat příkazy s lomítkem, zahaj novou konverzaci","composer.slashCommands.inputPlaceholder":"Najít informace na téma","composer.slashCommands.noResults":"Žádné příkazy","composer.slashCommands.skillsGroup":"Dovednosti","composer.slashCommands.tooltip":"Procházet příkazy s lomítkem","composer.status.close":"Zavřít","composer.statusPlain.alertLabel":"Výstraha:","composer.statusPlain.alertValue":"U {window} zbývá {remaining} %","composer.statusPlain.contextLabel":"Kontext:","composer.statusPlain.contextTotal":"{count} tis.","composer.statusPlain.contextValueMetadata":"(použito: {used}/{total})","composer.statusPlain.contextValueRemaining":"Zbývá {remaining} %","composer.statusPlain.heading":"Stav","composer.statusPlain.modelRateLimitSectionLabel":"Limit modelu {modelName}:","composer.statusPlain.rateLimitDays":"Limit za {count} d","composer.statusPlain.rateLimitFallbackLabel":"Limit požadavků:","composer.statusPlain.rateLimitHours":"Limit za {count} h","composer.statusPlain.rateLimitLabelBase":"Limit požadavků","composer.statusPlain.rateLimitMinutes":"Limit za {count} m","composer.statusPlain.rateLimitPercent":"Zbývá {remaining} %","composer.statusPlain.rateLimitReset":"obnoví se {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"čas obnovení není k dispozici","composer.statusPlain.rateLimitUnavailable":"Není k dispozici","composer.statusPlain.sessionCopiedAriaLabel":"ID relace bylo zkopírováno","composer.statusPlain.sessionCopiedTooltip":"ID bylo zkopírováno","composer.statusPlain.sessionCopyAriaLabel":"Zkopírovat ID relace","composer.statusPlain.sessionCopyTooltip":"Zkopírovat ID","composer.statusPlain.sessionLabel":"Relace:","composer.statusSlashCommand.description":"Zobrazení ID vlákna, použití kontextu a limity požadavků","composer.statusSlashCommand.title":"Stav","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Zprávu se nepodařilo odeslat","composer.submit.emptyMessage":"Začni zadáním zprávy","composer.submit.imageInputsUnsupported":"Pokud chceš tuto zprávu odeslat, odeber obrázky nebo změň model.","composer.submit.loadingLocalConfig":"Načítání...","composer.submit.missingCloudConfig":"Musíš si vybrat cloudové prostředí","composer.submit.missingCloudTurn":"U tohoto úkolu nelze provést následné akce","composer.submit.noWorkspace":"Pokud chceš používat Codex, přidej projekt","composer.submit.waitForImageUploads":"Nahrávání obrázků…","composer.submitButtonTooltip.send":"Odeslat","composer.submitButtonTooltip.stop":"Zastavit","composer.worktreeEnvironment.create":"Vytvořit místní prostředí","composer.worktreeEnvironment.default":"Výchozí prostředí","composer.worktreeEnvironment.error":"Při načítání prostředí došlo k chybě","composer.worktreeEnvironment.loading":"Načítání prostředí…","composer.worktreeEnvironment.title":"Místní prostředí","composer.worktreeEnvironment.tooltip":"Vyber místní prostředí","composer.worktreeSetupFailed":"Pracovní strom se nepodařilo nainstalovat. Podívej se, jestli .codex/environments neobsahuje instalační skript.","compoundButton.secondaryAction":"Sekundární akce","copyButton.copied":"Zkopírováno","copyButton.copiedAriaLabel":"Zkopírováno","copyButton.copy":"Zkopírovat","copyButton.copyAriaLabel":"Zkopírovat","copyButton.copyCode":"Zkopírovat kód","diff.actionButton.revertFile":"Vrátit soubor","diff.actionButton.revertHunk":"Vrátit","diff.actionButton.revertSection":"Vrátit vše","diff.actionButton.revertSectionLabel":"Vrátit vše","diff.actionButton.stageFile":"Připravit soubor","diff.actionButton.stageHunk":"Připravit","diff.actionButton.stageSection":"Připravit vše","diff.actionButton.stageSectionLabel":"Připravit vše","diff.actionButton.unstageFile":"Zrušit přípravu souboru","diff.actionButton.unstageHunk":"Zrušit přípravu","diff.actionButton.unstageSection":"Zrušit přípravu všeho","diff.actionButton.unstageSectionLabel":"Zrušit přípravu všeho","diff.fileHeader.toggle":"Přepnout diff souborů","electron.onboarding.login.apikey.cancel":"Zrušit","electron.onboarding.login.apikey.continue":"Pokračovat","electron.onboarding.login.apikey.label":"Otevřít API klíč","electron.onboarding.login.apikey.open":"Zadej API klíč","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Zrušit přihlášení","electron.onboarding.login.chatgpt.continue":"Pokračovat se službou ChatGPT","electron.onboarding.login.devbox":"Připojit ke vzdálenému SSH","electron.onboarding.login.error":"Přihlášení se nezdařilo: {rawMessage}","electron.onboarding.login.snake.start":"Hrát hada","electron.onboarding.login.sshConfig.cancel":"Zrušit","electron.onboarding.login.sshConfig.continue":"Pokračovat","electron.onboarding.login.sshConfig.hostnameLabel":"Název hostitele SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Nejlepší způsob, jak tvořit pomocí agentů","electron.onboarding.login.title":"Vítá tě Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Pokračovat","electron.onboarding.welcome.doubleLimits.description":"Na oslavu spuštění aplikace Codex máš do 2. dubna dvojnásobný limit požadavků.","electron.onboarding.welcome.freego.description":"Codex je zdarma součástí tvého plánu do 2. března – pojďme společně začít tvořit.","electron.onboarding.welcome.new.title.anon":"Vítej!","electron.onboarding.workspace.continue":"Pokračovat","electron.onboarding.workspace.empty":"Přidej projekt a pokračuj.","electron.onboarding.workspace.listLabel":"Dostupné projekty","electron.onboarding.workspace.loading":"Načítání projektů…","electron.onboarding.workspace.openFolder":"Přidat projekt","electron.onboarding.workspace.selectAll":"Vybrat vše","electron.onboarding.workspace.skip":"Přeskočit","electron.onboarding.workspace.skip.error":"Nelze vytvořit nový projekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Neznámá chyba","electron.onboarding.workspace.skipping":"Vytváření nového projektu…","electron.onboarding.workspace.subtitle":"Codex bude moci upravovat soubory a spouštět příkazy ve vybraných složkách.","electron.onboarding.workspace.title":"Vyber projekt","errorPage.list.checkSettings":"Zkus aktualizovat nastavení IDE","errorPage.list.configToml":"Podívej se, jestli config.toml neobsahuje neplatné nastavení","errorPage.list.downloadExtension":"Zkus si stáhnout jinou verzi rozšíření","errorPage.list.runInWsl":"Pokud se vyskytnou problémy s kompatibilitou, zkontroluj nastavení a vypni spouštění ve WSL","execApprovalRequest.menu.runAlways":"Ano, a už se na to v této relaci znovu neptat","execApprovalRequest.menu.runAlwaysWithAmendment":"Ano, a už se znovu neptat u příkazů začínajících na {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ano, a už se znovu neptat u příkazů začínajících na","execApprovalRequest.menu.runOnce":"Ano","execApprovalRequest.prompt":"Chceš spustit tento příkaz?","execApprovalRequest.reject":"Ne","execFooter.exitCode":"Kód ukončení {code}","execFooter.exitCode.unknown":"neznámý","execFooter.success":"Úspěch","feedback.dialog.category.badResult":"Špatný výsledek","feedback.dialog.category.bug":"Chyba","feedback.dialog.category.goodResult":"Dobrý výsledek","feedback.dialog.category.other":"Jiné","feedback.dialog.descriptionPlaceholder":"Tady popiš problém","feedback.dialog.dismiss":"Zrušit","feedback.dialog.includeLogsLabel":"Zahrnout protokoly aktuální relace Codexu","feedback.dialog.submit":"Odeslat","feedback.dialog.submitError":"Zpětnou vazbu nelze odeslat. Zkus to znovu za chvíli.","feedback.dialog.title":"Zpětná vazba","feedback.dialog.uploadedMessage.existingIssue":"stávající otevřený problému","feedback.dialog.uploadedMessage.openIssue":"otevři problém na GitHubu","feedback.dialog.uploadedMessage.withThread":"Zpětná vazba nahrána. Pokud problém přetrvává,{openIssueLink} nebo přidej zmínku ID vlákna ke {existingIssueLink}:","feedback.dialog.uploadedTitle":"Zpětná vazba byla nahrána","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Odebrat člena {filename}","header.back":"Zpět","header.recentChats":"Úlohy","header.recentTasks.seeAll":"Zobrazit vše ({total})","home.header.getPlus":"Získat Plus","home.hero.letsBuild":"Pojďme na to","homePage.mainContent":"Hlavní obsah","imageAttachment.defaultName":"obrázku","imageAttachment.preview.close":"Zavřít náhled obrázku","imageAttachment.removeAriaLabel":"Odebrat člena {filename}","implementPlanRequest.option.implement":"Ano, implementovat tento plán","implementPlanRequest.prompt":"Implementovat tento plán?","inbox.archived.deleteError":"Archivovaný běh nelze odstranit","inbox.archived.deleteRun":"Odstranit archivovaný běh","inbox.archived.deleteSuccess":"Archivované vlákno bylo odstraněno. Zobrazíš je v části <settingsLink>Archivovaná vlákna</settingsLink>.","inbox.archived.inlineLabel.auto":"Toto vlákno bylo automaticky archivováno. <learnMoreLink>Další informace</learnMoreLink>","inbox.archived.inlineLabel.manual":"Toto vlákno bylo archivováno.","inbox.archived.noMessageFound":"Nenalezena žádná zpráva","inbox.automations.createError":"Automatizaci nelze vytvořit","inbox.automations.deleteConfirm.cancel":"Zrušit","inbox.automations.deleteConfirm.confirm":"Odstranit automatizaci","inbox.automations.deleteConfirm.description":"Tím se automatizace trvale odstraní a zastaví se veškerá budoucí spuštění.","inbox.automations.deleteConfirm.title":"Odstranit {name}?","inbox.automations.deleteError":"Automatizaci nelze odstranit","inbox.automations.editTooltip":"Upravit automatizaci","inbox.automations.inProgress":"Probíhá","inbox.automations.new":"Nové","inbox.automations.newToolbar":"Nová automatizace","inbox.automations.pauseTooltip":"Pozastavit automatizaci","inbox.automations.resumeTooltip":"Pokračovat v automatizaci","inbox.automations.startingNow":"Spouští se teď","inbox.automations.startsIn":"Začíná za {startTime}","inbox.automations.status.active":"Aktivní","inbox.automations.status.paused":"Pozastaveno","inbox.automations.status.runs":"Spuštění: {count}","inbox.automations.status.started":"Zahájeno {date}","inbox.automations.updateError":"Automatizaci nelze aktualizovat","inbox.automations.workspaceFallback":"–","inbox.filter.all":"Vše","inbox.filter.ariaLabel":"Filtrovat položky příchozí pošty","inbox.filter.unread":"Nepřečtené","inbox.list.archived":"Archivované","inbox.list.inProgress":"Probíhá","inbox.list.recent":"Dokončeno","inbox.list.upNext":"Naplánované","inbox.mode.automations":"Automatizace","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Není poskytnut žádný popis","inbox.openThread":"Otevřít vlákno","inbox.rightPanel.emptySubtitle":"Automatizuj práci nastavením plánovaných úkolů","inbox.rightPanel.emptySubtitle.learnMore":"Automatizuj práci nastavením plánovaných vláken. <link>Další informace</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktivní automatizace} few {# aktivní automatizace} many {# aktivní automatizace} other {# aktivních automatizací}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Žádné nepřečtené automatizace","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# nepřečtená automatizace} few {# nepřečtené automatizace} many {# nepřečtené automatizace} other {# nepřečtených automatizací}}","inbox.rightPanel.emptyTitle":"Není vybraná žádná položka","inbox.rightPanel.noThread":"U této položky není žádné vlákno","inbox.rightPanel.quickStart.header":"Začni šablonou","inbox.untitled":"Položka příchozí pošty bez názvu","loadingPage.documentationLink":"dokumentaci","loadingPage.errorDescription":"Codex selhal s následující chybou:","loadingPage.errorDescription.documentation":"Kliknutím na Znovu načíst restartuješ rozšíření Codex nebo další pomoc najdeš v naší {documentationLink}.","loadingPage.errorSignal":"Co můžeš vyzkoušet:","loadingPage.errorTitle":"Došlo k chybě","loadingPage.openConfigToml":"Otevřít config.toml","loadingPage.reload":"Znovu načíst","localConversation.contextCompacted":"Kontext automaticky zkomprimován","localConversation.contextCompacting":"Kontext se automaticky komprimuje","localConversation.forkedFromConversation":"Rozvětveno z {threadTitle}","localConversation.merge.autoResolve.failed":"Automatické řešení se nepodařilo vyžádat: {error}","localConversation.merge.autoResolve.sent":"Požadavek na automatické řešení byl odeslán","localConversation.merge.autoResolveMerge.missingConversation":"Automatické řešení není k dispozici bez aktivní konverzace.","localConversation.merge.autoResolveMerge.request":"Automaticky řešit konflikty při slučování","localConversation.modelChanged":"Model se změnil z {fromModel} na {toModel}.","localConversation.modelChanged.warning.line1":"Změna modelu uprostřed konverzace sníží výkon.","localConversation.modelChanged.warning.line2":"Kontext se může automaticky zkomprimovat.","localConversation.moveThread.createBranch.label":"Vytvořit větev","localConversation.moveToLocal.disabled.loading":"Načítání...","localConversation.moveToLocal.modal.continue":"Pokračovat","localConversation.moveToLocal.modal.destinationLabel":"Přesunout do","localConversation.moveToLocal.modal.retry":"Opakovat","localConversation.moveToWorktree.modal.back":"Zpět","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Větev už existuje.","localConversation.moveToWorktree.modal.branchesError":"Větve nelze načíst","localConversation.moveToWorktree.modal.branchesLoading":"Načítání větví…","localConversation.moveToWorktree.modal.branchesRetry":"Opakovat","localConversation.moveToWorktree.modal.continue":"Pokračovat","localConversation.moveToWorktree.modal.retry":"Opakovat","localConversation.moveToWorktree.modal.trailingSlashError":"Název větve nemůže končit na „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nova-vetev","localConversation.personalityChanged":"Přepnuto na osobnost {personality}","localConversation.planSummary.collapse":"Sbalit shrnutí plánu","localConversation.planSummary.collapseTooltip":"Sbalit","localConversation.planSummary.download":"Stáhnout plán","localConversation.planSummary.expand":"Rozbalit shrnutí plánu","localConversation.planSummary.expandTooltip":"Rozbalit","localConversation.planSummary.openInNewWindow":"Počáteční","localConversation.planSummary.openInNewWindow.tooltip":"Otevřít v novém okně","localConversation.planSummary.title":"Plán","localConversation.planSummary.titleWriting":"Píše plán","localConversation.planSummary.viewPlan":"Rozbalit plán","localConversation.remoteTaskCreated":"Uživatel vytvořil {taskLink} v Codex Cloudu","localConversation.remoteTaskCreated.task":"úkol","localConversation.scrollToBottomButton":"Posunout dolů","localConversation.sync.buttonLabel":"Předat do místní větve","localConversation.sync.buttonLabel.tooltip":"Předání změn mezi tímto pracovním stromem a tvou místní verzí.","localConversation.sync.modal.loading.title":"Předávání změn…","localConversation.sync.modal.noChanges":"Beze změn","localConversation.syncSetup.branchAriaLabel":"Název větve","localConversation.syncSetup.branchName":"Název větve","localConversation.syncSetup.branchPlaceholder.existing":"Vyber existující větev","localConversation.syncSetup.branchPlaceholder.new":"codex/nova-funkce","localConversation.syncSetup.branchesLoading":"Načítání větví…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Už přepnuto","localConversation.syncSetup.checkoutClean":"Aktuálně ve větvi {branchName}","localConversation.syncSetup.checkoutDirty":"Aktuálně ve větvi {branchName} se změnami bez commitu","localConversation.syncSetup.checkoutError":"Větev se nepodařilo přepnout: {message}","localConversation.syncSetup.checkoutLabel":"Přepnout místně","localConversation.syncSetup.checkoutOnLocal":"Předat do místní větve","localConversation.syncSetup.checkoutPending":"Kontrola místního stavu…","localConversation.syncSetup.checkoutUnavailable":"Místní pracovní prostor není k dispozici","localConversation.syncSetup.checkoutUnknown":"Místní větev není k dispozici","localConversation.syncSetup.continue":"Pokračovat","localConversation.syncSetup.createBranchError":"Nepodařilo se nastavit předanou větev: {message}","localConversation.syncSetup.error":"Něco se pokazilo: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nelze pořídit snímek pracovního stromu. Zkus předání znovu.","localConversation.syncSetup.mode.ariaLabel":"Vyber režim větve","localConversation.syncSetup.mode.existing":"Existující větev","localConversation.syncSetup.mode.new":"Nová větev","localConversation.syncSetup.noBranches":"Nenalezeny žádné větve","localConversation.syncSetup.overwriteError":"Větev byla vytvořena, ale není zcela předána. Před lokálním přepnutím proveď předání ručně.","localConversation.syncSetup.setPrefix":"Nastavit předponu","localConversation.syncSetup.subtitle":"Testuj a upravuj změny pracovních stromů místně. <a>Další informace</a>","localConversation.syncSetup.success.checkedOut":"Větev byla vytvořena a je přepnuta místně","localConversation.syncSetup.success.notCheckedOut":"Větev byla vytvořena","localConversation.syncSetup.title":"Předat do místní větve","localConversation.syncWorktreeError.branchAriaLabel":"Název větve","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/nova-funkce","localConversation.syncWorktreeError.branchSetup.subtitle":"Vyber větev, do které chceš změny předat, a zkus je načíst znovu.","localConversation.syncWorktreeError.branchSetup.title":"Aktualizovat větev","localConversation.syncWorktreeError.branchUpdate.cta":"Aktualizovat a zkusit znovu","localConversation.syncWorktreeError.branchUpdate.error":"Větev se nepodařilo aktualizovat: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Něco se pokazilo: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Větev není přepnuta v žádném pracovním stromu.","localConversation.syncWorktreeV2.applyUncommitted":"Použít","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Pokud chceš použít změny bez commitu, musíš větev přepnout místně","localConversation.syncWorktreeV2.branches.empty":"Nenalezeny žádné větve","localConversation.syncWorktreeV2.branches.loading":"Načítání větví…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Změnit předanou větev","localConversation.syncWorktreeV2.changeBranch.error":"Nepodařilo se změnit předanou větev: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Nepodařilo se použít","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Nepodařilo se přepsat pracovní strom","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Nepodařilo se přepsat místní větev","localConversation.syncWorktreeV2.commandError.back":"Zpět","localConversation.syncWorktreeV2.commandError.body":"Při předávání došlo k chybě příkazu Gítu. Zkontroluj výstup a zkus to znovu.","localConversation.syncWorktreeV2.commandError.retry":"Opakovat","localConversation.syncWorktreeV2.description":"Předávání změn mezi místní větví a tímto pracovním stromem <a>Další informace</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"Vyber směr předávání","localConversation.syncWorktreeV2.error.generic":"Během předávání se něco pokazilo. Zkus to znovu.","localConversation.syncWorktreeV2.localBranchLabel":"Místně","localConversation.syncWorktreeV2.noChanges":"Výpočet změn","localConversation.syncWorktreeV2.noChanges.summary":"Beze změn","localConversation.syncWorktreeV2.overwrite.local":"Přepsat místní větev","localConversation.syncWorktreeV2.overwrite.worktree":"Přepsat pracovní strom","localConversation.syncWorktreeV2.partial.action.applyFailed":"Změny nelze použít","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Místní změny nelze přepsat","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Změny pracovního prostoru nelze přepsat","localConversation.syncWorktreeV2.partial.appliedLabel":"Použito","localConversation.syncWorktreeV2.partial.back":"Zpět","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Vyřeš konflikty a zkus to znovu.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikty","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}}","localConversation.syncWorktreeV2.partial.retry":"Opakovat","localConversation.syncWorktreeV2.partial.skippedLabel":"Přeskočeno","localConversation.syncWorktreeV2.stateFailed.generic":"Při načítání změn pracovního stromu k předání se něco pokazilo. Zkus to znovu.","localConversation.syncWorktreeV2.stateFailed.title":"Nepodařilo se načíst změny pracovního stromu","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nepodařilo se načíst změny pracovního stromu.","localConversation.syncWorktreeV2.statusError.retry":"Opakovat","localConversation.syncWorktreeV2.statusError.title":"Nelze načíst změny místní větve","localConversation.syncWorktreeV2.statusError.unknown":"Stav větve není momentálně k dispozici. Zkus to znovu.","localConversation.syncWorktreeV2.success.apply":"Změny byly úspěšně použity","localConversation.syncWorktreeV2.success.overwrite":"Předání úspěšné","localConversation.syncWorktreeV2.title":"Předat změny","localConversation.syncWorktreeV2.worktreeLabel":"Pracovní strom","localConversation.userInputRequest.inProgress":"Klade {count, plural, one {otázku} few {otázky} many {otázky} other {otázek}}","localConversation.userInputRequest.noAnswer":"Není uvedena žádná odpověď","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Položil","localConversation.userInputRequest.summary.count":"{count, plural, one {# otázku} few {# otázky} many {# otázky} other {# otázek}}","localConversation.workedFor":"Pracoval {time}","localConversation.worktreeBranchSetup.action.create":"Vytvořit","localConversation.worktreeBranchSetup.branchAriaLabel":"Název větve","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Vytvořit novou větev","localConversation.worktreeBranchSetup.checkoutDisabled":"Tato větev už je přepnutá zde: {location}","localConversation.worktreeBranchSetup.checkoutError":"Větev se nepodařilo přepnout: {message}","localConversation.worktreeBranchSetup.createBranchError":"Větev se nepodařilo nastavit: {message}","localConversation.worktreeBranchSetup.error":"Něco se pokazilo: {message}","localConversation.worktreeBranchSetup.subtitle":"Vytvoř větev, ať můžeš potvrzovat změny, ukládat změny a vytvářet PR z tohoto pracovního stromu. <a>Další informace</a>","localConversation.worktreeBranchSetup.title":"Tady můžeš pracovat","localConversationPage.addWorktreeToSidebar.tooltip":"Proveď uložení jako projekt, ať můžeš z tohoto pracovního stromu spouštět nová vlákna","localConversationPage.addWorktreeToSidebarError":"Projekt se nepodařilo přidat","localConversationPage.commitAndCreatePrModal.errorTitle":"Nepodařil se commit a vytvoření PR","localConversationPage.commitAndCreatePrModal.successTitle":"Proveden commit a vytvořen PR","localConversationPage.commitAndPushModal.errorTitle":"Nepodařil se commit a uložení změn","localConversationPage.commitAndPushModal.successTitle":"Proveden commit a uložení změn","localConversationPage.commitCreatePr.open":"Zobrazit pull request","localConversationPage.commitCreatePr.successTitle":"Byl vytvořen PR s nejnovějšími změnami","localConversationPage.createBranchButtonLabel":"Vytvořit větev tady","localConversationPage.createPrModal.baseBranch":"Základní","localConversationPage.createPrModal.baseBranchUnknown":"–","localConversationPage.createPrModal.confirm":"Vytvořit PR","localConversationPage.createPrModal.createDescription":"Otevřo pull request pro nejnovější změny.","localConversationPage.createPrModal.errorTitle":"Pull request se nepodařilo provést","localConversationPage.createPrModal.headBranch":"Hlavní","localConversationPage.createPrModal.headBranchUnknown":"–","localConversationPage.createPrModal.open":"Otevřít PR","localConversationPage.createPrModal.successTitle":"Pull request byl vytvořen","localConversationPage.createPrModal.title":"Vytvořit pull request","localConversationPage.createPrModal.viewDescription":"Pull request už pro tuto větev existuje.","localConversationPage.createPrModal.viewTitle":"Pull request už existuje","localConversationPage.createPullRequestAuthGh":"Ověření CLI GitHubu: spusť „gh auth login“","localConversationPage.createPullRequestBranchMissing":"Informace o větvi nejsou k dispozici","localConversationPage.createPullRequestButtonLabel":"Vytvořit PR","localConversationPage.createPullRequestButtonLabel.loading":"Vytváření PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Informace o výchozí větvi nejsou k dispozici","localConversationPage.createPullRequestError":"Nepodařilo se vytvořit pull request","localConversationPage.createPullRequestExistingPullRequest":"Pull request už u této větve existuje","localConversationPage.createPullRequestGhStatusMissing":"Načítání stavu CLI GitHubu…","localConversationPage.createPullRequestInstallGh":"Pokud chceš vytvářet PR, nainstaluj si GitHub (gh)","localConversationPage.createPullRequestNoRepo":"Nebylo nalezeno úložiště git","localConversationPage.createPullRequestPushStatusMissing":"Načítání stavu uložení změn…","localConversationPage.createPullRequestSetUpstream":"Před vytvořením tohoto PR uložit změny této větve","localConversationPage.createPullRequestSuccessToast":"Pull request byl vytvořen","localConversationPage.createPullRequestSwitchBranch":"Před vytvořením PR zkontroluj větev funkce","localConversationPage.error.render":"Při vykreslování místní konverzace došlo k chybě","localConversationPage.error.toast":"Konverzace nebyla nalezena","localConversationPage.forcePushError":"Uložení změn se nepodařilo vynutit","localConversationPage.generatePullRequestMessageError":"Nepodařilo se vygenerovat název a text pull requestu","localConversationPage.generatePullRequestMessageFailed":"Nepodařilo se vygenerovat název a text pull requestu.","localConversationPage.gitActionResult.branch":"Větev","localConversationPage.gitActionResult.cancel":"Zrušit","localConversationPage.gitActionResult.close":"Zavřít","localConversationPage.gitActionResult.tryAgain":"Zkusit znovu","localConversationPage.gitActions":"Akce v gitu","localConversationPage.newChat":"Nový chat","localConversationPage.openInTarget":"Otevřít v","localConversationPage.openPrimaryTarget":"Počáteční","localConversationPage.planItemsCompleted":"Dokončeno: {completedItems} z {totalItems, plural, one {# úkol} few {# úkolů} many {# úkolu} other {# úkolů}}","localConversationPage.pushAuthError":"Uložení změn se nezdařilo: vyžaduje se ověření","localConversationPage.pushBranchMissing":"Informace o větvi nejsou k dispozici","localConversationPage.pushButtonLabel":"Nabízená oznámení","localConversationPage.pushButtonLabel.loading":"Ukládání změn…","localConversationPage.pushError":"Změny se nepodařilo uložit","localConversationPage.pushModal.branchLabel":"Větev","localConversationPage.pushModal.branchUnknown":"–","localConversationPage.pushModal.cancel":"Zrušit","localConversationPage.pushModal.confirm":"Nabízená oznámení","localConversationPage.pushModal.description":"Ulož změny z nejnovějších commitů do vzdáleného úložiště.","localConversationPage.pushModal.errorTitle":"Změny se nepodařilo uložit","localConversationPage.pushModal.forcePush":"Vynutit uložení změn","localConversationPage.pushModal.successTitle":"Uložení změn bylo dokončeno","localConversationPage.pushModal.title":"Uložit změny","localConversationPage.pushModal.tryAgain":"Zkusit znovu","localConversationPage.pushNoUpstream":"Před odesláním této větve nastav upstream","localConversationPage.pushNoUpstreamError":"Uložení změn se nezdařilo: není nakonfigurovaný upstream","localConversationPage.pushNothingToPush":"Žádné nové commity k uložení","localConversationPage.pushRemoteChangedError":"Uložení změn se nezdařilo: vzdálené úložiště má nové commity","localConversationPage.pushRemoteRejectedError":"Uložení změn odmítnuto vzdáleným úložištěm","localConversationPage.pushStatusMissing":"Načítání stavu uložení změn…","localConversationPage.pushSuccessToast":"Uložené změny","localConversationPage.viewPullRequestButtonLabel":"Zobrazit PR","localConversationPage.viewPullRequestButtonLabel.loading":"Načítání pull requestu…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# seznam} few {# seznamy} many {# seznamu} other {# seznamů}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# vyhledávání} few {# vyhledávání} many {# vyhledávání} other {# vyhledávání}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Prozkoumávání","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Prozkoumáno","localConversationTurn.exploration.accordion.header.complete.withCounts":"Prozkoumal {counts}","localConversationTurnStory.showContent":"Zobrazit obsah","localConversationTurnStory.streamContent":"Streamovat obsah","localConversationTurnStory.toggleReasoning":"Zobrazit odůvodnění","localTaskRow.archiveError":"Konverzaci se nepodařilo archivovat","localTaskRow.resumeError":"Úkol se nepodařilo obnovit","mermaidDiagram.ariaLabel":"Diagram v Mermaid","mermaidDiagram.copySource":"Zkopírovat diagram Mermaid","mermaidDiagram.originalCode":"Zdrojový kód v Mermaid","notifications.permissions.description":"Zobrazit upozornění, když jsou vyžadována oprávnění pro oznámení","notifications.permissions.label":"Povolit oznámení o oprávněních","notifications.turnMode.always":"Vždy","notifications.turnMode.description":"Nastav, kdy tě má Codex upozornit, že skončil","notifications.turnMode.label":"Zapnout oznámení o dokončení","notifications.turnMode.off":"Nikdy","notifications.turnMode.unfocused":"Jen když aplikace není v popředí","patchApprovalRequest.approve":"Schválit","patchApprovalRequest.menu.allowAlways":"Ano, a už se na to v této relaci znovu neptat","patchApprovalRequest.menu.allowForSession":"Ano, a už se na to v této relaci znovu neptat","patchApprovalRequest.menu.allowOnce":"Ano","patchApprovalRequest.prompt":"Chceš provést tyto změny?","patchApprovalRequest.reject":"Ne","patchApprovalRequest.waitingForApproval":"Čeká na schválení k úpravě souborů","pendingRequest.approvalExec.collapse":"Sbalit","pendingRequest.approvalExec.expand":"Rozbalit","pendingRequestStory.toastAnswer":"Odpověď: {answer}","pendingRequestStory.toastApprovalTitle":"Odpověď na schválení","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Navazující zpráva byla odeslána","pendingRequestStory.toastNoAnswers":"Nejsou poskytnuty žádné odpovědi","pendingRequestStory.toastQuestion":"Otázka: {question}","pendingRequestStory.toastUnknownDecision":"Neznámé","pendingRequestStory.toastUserInputTitle":"Odeslané odpovědi","quickAction.request.codeReview.branches.new":"Zkontroluj změny u {from} oproti {to}","quickAction.request.codeReview.uncommitted.new":"Zkontroluj mé změny bez commitu","reasoningItem.thinking":"Přemýšlí","reasoningItem.thought":"Přemýšlel","reasoningItem.thoughtWithElapsed":"Přemýšlel {elapsed}","recentConversations.title":"Nedávné konverzace","recentTasks.worktreeInitFailedTitle":"Pracovní strom se nepodařilo inicializovat","recentTasks.worktreeSettingUpTitle":"Nastavování pracovního stromu","requestInputPanel.continue":"Pokračovat","requestInputPanel.dismiss":"Zrušit","requestInputPanel.escapeKey":"Esc","requestInputPanel.freeFormPlaceholder":"Začni psát sem","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ne, a řekni Codexu, co má dělat jinak","requestInputPanel.selectedBadge":"Vybrané","requestInputPanel.skip":"Přeskočit","requestInputPanel.submit":"Odeslat","review.commit.ariaLabel.includeUnstaged":"Zahrnout nepřipravené","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Provádění commitu…","review.commit.disabled.loadingDiff":"Načítání diffu…","review.commit.disabled.missingContext":"Přidej kontext a vygeneruj zprávu u commitu","review.commit.disabled.noChanges":"Commit beze změn","review.commit.disabled.noSelection":"Vyber změny commitu","review.commit.disabled.unavailable":"Commit teď není k dispozici","review.commit.error":"Nepodařil se provést commit změn","review.commit.form.changesToBeCommitted":"Změny","review.commit.form.commitTo":"Větev","review.commit.form.commitTo.none":"–","review.commit.form.continue":"Pokračovat","review.commit.form.title":"Proveď commit svých změn","review.commit.generate.emptyResponse":"Zprávu u commitu nelze vygenerovat.","review.commit.generate.failed":"Zprávu u commitu se nepodařilo vygenerovat: {error}","review.commit.generate.missingPrompt":"Přidej kontext a vygeneruj zprávu u commitu.","review.commit.includeUnstaged":"Zahrnout nepřipravené","review.commit.loading.description":"Vydrž, může to chvilku trvat…","review.commit.loading.step.commit.done":"Změny s commitem","review.commit.loading.step.commit.pending":"Potvrzuje změny","review.commit.loading.step.createPr.done":"Pull request byl vytvořen","review.commit.loading.step.createPr.pending":"Vytváření pull requestu","review.commit.loading.step.push.done":"Byly uloženy změny do větve {branch}","review.commit.loading.step.push.pending":"Ukládání změn do větve {branch}","review.commit.loading.title.commit":"Potvrzuje změny","review.commit.loading.title.createPr":"Vytváření PR","review.commit.loading.title.push":"Ukládání změn","review.commit.messageLabel":"Zpráva u commitu","review.commit.messagePlaceholder":"Ponechej pole prázdné, pokud se zpráva u commitu má generovat automaticky","review.commit.nextSteps":"Další kroky","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Provést commit a vytvořit PR","review.commit.nextSteps.commitAndPush":"Provést commit a uložit změny","review.commit.nextSteps.prRequiresGh":"Vyžaduje CLI GitHubu: {command}","review.commit.rows.changes":"Změny","review.commit.rows.commitCount":"{count, plural, one {# commit} few {# commity} many {# commitu} other {# commitů}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} few {# commity} many {# commitu} other {# commitů}} a {stats}","review.commit.rows.fileCount":"{count, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}}","review.commit.state.error.body":"Při provádění commitu se něco pokazilo. Zkontroluj stav gitu a zkus to znovu.","review.commit.state.error.title":"Commit se nezdařil","review.commit.state.success.title":"Commit změn byl proveden","review.commit.untracked.loadingStats":"Načítání nesledovaných statistik diffů…","reviewFindingAttachments.count":"{count, plural, one {# zjištění} few {# zjištění} many {# zjištění} other {# zjištění}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Uprav si konfiguraci a přizpůsob chování agenta","settings.agent.configuration.configToml.docs":"Dokumenty","settings.agent.configuration.configToml.restartNote":"Po úpravách restartuj Codex, aby se změny projevily","settings.agent.configuration.subtitle":"Toto nastavení se použije všude, kde se používá Codex","settings.automations.banner.danger":"Automatizace se provádějí s výchozím nastavením sandboxu, které je aktuálně nastaveno na plný přístup. Spouštění automatizací na pozadí s plným přístupem s sebou nese zvýšené riziko, protože Codex může upravovat soubory, spouštět příkazy a přistupovat k síti, aniž by o to žádal. Zvaž aktualizaci nastavení sandboxu na zápis do pracovního prostoru a používání <rulesDocsLink>pravidel</rulesDocsLink> k selektivnímu definování příkazů, které může agent spouštět s plným přístupem.","settings.automations.banner.defaultHowTo.default":"Automatizace se provádějí s výchozím nastavením sandboxu. Volání nástrojů se nezdaří, pokud vyžadují úpravy souborů mimo pracovní prostor, přístup k síti nebo práci s aplikacemi v počítači. Pomocí <rulesDocsLink>pravidel</rulesDocsLink> můžeš selektivně povolit příkazy, které se mají spouštět mimo sandbox.","settings.automations.banner.defaultHowTo.readOnly":"Automatizace se provádějí s výchozím nastavením sandboxu, které jsou nastaveny pouze pro čtení. Volání nástrojů se nezdaří, pokud vyžadují úpravy souborů, přístup k síti nebo práci s aplikacemi v počítači. Zvaž aktualizaci nastavení sandboxu na zápis do pracovního prostoru.","settings.automations.cancel":"Zrušit","settings.automations.create":"Vytvořit","settings.automations.cwdEmpty":"K dispozici nejsou žádné složky projektu","settings.automations.cwdLabel":"Projekty","settings.automations.cwdPlaceholder":"Vyber složku","settings.automations.cwdSubtitle":"Pokud chceš, aby se automatizace spouštěla na konkrétní větvi, můžeš to uvést v promptu.","settings.automations.delete":"Odstranit","settings.automations.dialog.editTitle":"Upravit automatizaci","settings.automations.dialog.newTitle":"Nová automatizace","settings.automations.dialog.subtitle":"Automatizuj opakující se úkoly na pozadí. Codex přidává nálezy do doručené pošty nebo automaticky úkol archivuje, pokud není co hlásit. <learnMoreLink>Další informace</learnMoreLink>","settings.automations.dialog.title":"Vytvořit automatizaci","settings.automations.executionCopy.git":"Automatizace se provádějí na pozadí ve vyhrazených pracovních stromech.","settings.automations.executionCopy.nonGit":"Automatizace v projektech bez správy verzí se provádějí přímo v adresáři projektu. Pokud chceš povolit provádění v pracovních stromech na pozadí, zvaž použití gitu.","settings.automations.executionEnvironment.local":"Místně","settings.automations.executionEnvironment.worktree":"Pracovní strom","settings.automations.loading":"Načítání...","settings.automations.nameLabel":"Jméno","settings.automations.namePlaceholder":"Vyhledání problémů Sentry","settings.automations.pause":"Pozastavit","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"hledej pády v $Sentry","settings.automations.resume":"Pokračovat","settings.automations.rruleSummaryFallback":"Vlastní harmonogram","settings.automations.runNow":"Otestovat","settings.automations.save":"Uložit","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Pracovní dny","settings.automations.scheduleBadge.weekends":"Víkendy","settings.automations.scheduleHeader":"Harmonogram","settings.automations.scheduleHours":"hod.","settings.automations.scheduleLabel":"Spouštět každý(ch)","settings.automations.scheduleMode.daily":"Každý den","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Typ plánu","settings.automations.scheduleSummary.daily":"Každý den v {time}","settings.automations.scheduleSummary.interval":"Každých {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dne} few {# dní} many {# dní} other {# dní}}","settings.automations.scheduleSummary.intervalDays":"{interval} v {days}","settings.automations.scheduleSummary.intervalHourly":"Každou hodinu","settings.automations.scheduleSummary.singleDay":"{day} v {time}","settings.automations.scheduleSummary.weekdays":"Pracovní dny v {time}","settings.automations.scheduleSummary.weekdaysLabel":"pracovní dny","settings.automations.scheduleSummary.weekends":"Víkendy v {time}","settings.automations.scheduleSummary.weekendsLabel":"víkendy","settings.automations.scheduleSummary.weekly":"{days} v {time}","settings.automations.scheduleWeekdays":"Zapnuto","settings.automations.weekdayState.excluded":"Vyloučeno","settings.automations.weekdayState.included":"Zahrnuto","settings.conversationDetail.steps":"Kroky","settings.conversationDetail.steps.description":"Skrýt příkazy a výstupy","settings.conversationDetail.stepsWithCommands":"Kroky s příkazy v kódu","settings.conversationDetail.stepsWithCommands.description":"Zobrazit příkazy, sbalit výstup","settings.conversationDetail.stepsWithOutput":"Kroky s výstupem kódu","settings.conversationDetail.stepsWithOutput.description":"Zobrazit příkazy a rozbalit výstup","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Žádné archivované chaty.","settings.dataControls.archivedChats.error":"Archivované chaty nelze načíst.","settings.dataControls.archivedChats.loading":"Načítání archivovaných chatů…","settings.dataControls.archivedChats.unarchive":"Zrušit archivaci","settings.dataControls.archivedChats.unarchiveError":"Nepodařilo se zrušit archivaci chatu","settings.dataControls.archivedChats.unarchiveSuccess":"U vlákna byla zrušena archivace. <viewNowLink>Zobrazit</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Nearchivované vlákno.","settings.dataControls.archivedChats.untitled":"Chat bez názvu","settings.dataControls.archivedChats.viewNow":"Zobrazit teď","settings.editRow.headerPlaceholder":"Klíč","settings.editRow.removeEntry":"Odebrat položku","settings.editRow.valuePlaceholder":"Hodnota","settings.general.appearance":"Vzhled","settings.general.appearance.codeFont":"Písmo kódu","settings.general.appearance.codeFont.description":"Uprav písmo a velikost používané pro kód v chatech a diffech","settings.general.appearance.codeFontFamily":"Font kódu","settings.general.appearance.codeFontSize":"Velikost písma kódu","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Nastavit okna tak, aby používala plné pozadí namísto průhlednosti systému","settings.general.appearance.opaqueWindows.label":"Používat neprůhledné pozadí oken","settings.general.appearance.sansFontFamily":"Font Sans","settings.general.appearance.sansFontFamily.description":"Uprav písmo používané pro uživatelské rozhraní Codexu","settings.general.appearance.sansFontSize":"Velikost písma Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Zobrazit efekty oslav v celém okně, zatímco GPT-5.3-Codex-Spark provádí první akci","settings.general.appearance.sparkCelebrationEffects.label":"Efekty oslavy s jiskřením","settings.general.appearance.theme":"Motiv","settings.general.appearance.theme.dark":"Tmavý","settings.general.appearance.theme.description":"Použití světlého, tmavého režimu nebo přizpůsobení systému","settings.general.appearance.theme.light":"Světlý","settings.general.appearance.theme.system":"Systém","settings.general.appearance.usePointerCursors.description":"Při najetí kurzorem na interaktivní prvky změnit kurzor na ukazatel","settings.general.appearance.usePointerCursors.label":"Používat kurzory v podobě ukazatele","settings.general.enterBehavior.description":"Pokud je tato možnost povolena, prompt na víc řádků je nutné odesílat pomocí {modifierSymbol}+Enter.","settings.general.enterBehavior.label":"Vyžadovat k odesílání dlouhých promptů {modifierSymbol}+Enter","settings.general.experimentalFeatures":"Experimentální funkce (beta)","settings.general.experimentalFeatures.empty":"Nejsou k dispozici žádné experimentální funkce beta.","settings.general.experimentalFeatures.loading":"Načítání experimentálních funkcí…","settings.general.experimentalFeatures.restartNote":"Změny experimentálních funkcí se projeví po restartování Codexu","settings.general.experimentalFeatures.toggle":"Přepínač modelu {featureName}","settings.general.followUpQueueMode.description":"Zařazovat pokračování do fronty, když je Codex spuštěný, nebo řídit aktuální spuštění. Pokud chceš udělat opak u jedné zprávy, stiskni {invertFollowUpShortcutLabel}.","settings.general.followUpQueueMode.interrupt":"Řízení","settings.general.followUpQueueMode.label":"Sledovat chování","settings.general.followUpQueueMode.queue":"Zařazovat do fronty","settings.general.notifications":"Oznámení","settings.general.power.preventSleepWhileRunning.description":"Nech počítač v provozu, zatímco Codex spouští vlákno.","settings.general.power.preventSleepWhileRunning.label":"Bránit režimu spánku při spuštění","settings.git.branchPrefix.ariaLabel":"Předpona větve","settings.git.branchPrefix.description":"Předpona používaná při vytváření nových větví v Codexu","settings.git.branchPrefix.label":"Předpona větve","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Předponu větve se nepodařilo uložit","settings.git.branchPrefix.save.success":"Uložená předpona větve","settings.git.commitInstructions.ariaLabel":"Pokyny ke commitu","settings.git.commitInstructions.description":"Přidáno do promptů pro generování zprávy u commitu","settings.git.commitInstructions.label":"Pokyny ke commitu","settings.git.commitInstructions.placeholder":"Přidej pokyny ke zprávě u commitu…","settings.git.commitInstructions.save":"Uložit","settings.git.commitInstructions.save.error":"Pokyny ke commitu se nepodařilo uložit","settings.git.commitInstructions.save.success":"Pokyny ke commitu byly uloženy","settings.git.forcePush.ariaLabel":"Vždy vynucovat uložení změn","settings.git.forcePush.description":"Při ukládání změn z Codexu použij --force-with-lease","settings.git.forcePush.label":"Vždy vynucovat uložení změn","settings.git.forcePush.save.disabled":"Vždy vynucovat uložení změn je zakázáno","settings.git.forcePush.save.enabled":"Vždy vynucovat uložení změn je povoleno","settings.git.forcePush.save.error":"Nastavení vynucování uložení změn se nepodařilo uložit","settings.git.prInstructions.ariaLabel":"Pokyny k pull requestu","settings.git.prInstructions.description":"Přidává se k tělům pull requestů vytvářených Codexem","settings.git.prInstructions.label":"Pokyny k pull requestu","settings.git.prInstructions.placeholder":"Přidat pokyny k pull requestu…","settings.git.prInstructions.save":"Uložit","settings.git.prInstructions.save.error":"Pokyny k pull requestu se nepodařilo uložit","settings.git.prInstructions.save.success":"Pokyny k pull requestu byly uloženy","settings.ide.defaultOpenTarget.description":"Kde se soubory a složky standardně otevírají","settings.ide.defaultOpenTarget.label":"Výchozí cílové umístění otevírání","settings.ide.defaultOpenTarget.placeholder":"Nenalezena žádná cílová umístění","settings.ide.language.auto":"Automatická detekce","settings.ide.language.autoOption":"Automatická detekce","settings.ide.language.description":"Jazyk pro uživatelské rozhraní aplikace","settings.ide.language.label":"Jazyk","settings.ide.language.search":"Vyhledat jazyky","settings.layout.actionButton":"Restartovat rozšíření","settings.layout.actionTitle":"Nastavení s akcí","settings.layout.fullWidthTitle":"Nastavení (plná šířka)","settings.layout.title":"Nastavení","settings.localEnvironments.actions.add":"Přidat akci","settings.localEnvironments.actions.add.description":"Vytvoř nový příkaz, který se má spouštět z panelu nástrojů.","settings.localEnvironments.actions.add.save":"Uložit","settings.localEnvironments.actions.empty":"Přidej akci pro spouštění příkazů z místního panelu nástrojů.","settings.localEnvironments.actions.icon.debug":"Ladění","settings.localEnvironments.actions.icon.run":"Spustit","settings.localEnvironments.actions.icon.test":"Otestovat","settings.localEnvironments.actions.icon.tool":"Nástroj","settings.localEnvironments.actions.item.button.delete":"Odstranit","settings.localEnvironments.actions.item.command":"Skript akce","settings.localEnvironments.actions.item.name":"Jméno","settings.localEnvironments.actions.item.platforms":"Platformy","settings.localEnvironments.actions.item.platforms.help":"Spouštění je možné jen v konkrétním OS.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Výběr platformy","settings.localEnvironments.actions.item.platforms.specific":"Pro konkrétní platformu","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Odstranit","settings.localEnvironments.actions.title":"Akce","settings.localEnvironments.breadcrumb.back":"Zpět","settings.localEnvironments.breadcrumb.edit":"upravit","settings.localEnvironments.breadcrumb.root":"Prostředí","settings.localEnvironments.environment.actions.description":"Tyto akce můžou spustit jakýkoli příkaz a zobrazí se v záhlaví.","settings.localEnvironments.environment.actionsLabel":"Akce","settings.localEnvironments.environment.create":"Vytvořit místní prostředí","settings.localEnvironments.environment.defaultName":"místní","settings.localEnvironments.environment.edit":"Upravit místní prostředí","settings.localEnvironments.environment.empty":"Pro tento projekt není zatím nakonfigurováno žádní místní prostředí.","settings.localEnvironments.environment.name":"Jméno","settings.localEnvironments.environment.setup":"Skript nastavení","settings.localEnvironments.environment.setup.description":"Tento skript se spustí při vytvoření pracovního stromu.","settings.localEnvironments.environment.setup.hint":"Běží v kořenovém adresáři projektu.","settings.localEnvironments.environment.setup.platformOverrides":"Přepsání platformy","settings.localEnvironments.environment.setup.platformOverrides.add":"Přidat skript nastavení pro {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Přepíše výchozí skript pro konkrétní OS.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Odebrat","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Údaje o prostředí","settings.localEnvironments.file.missing":"Uložením tento soubor vytvoříš poprvé.","settings.localEnvironments.file.parseError":"Stávající soubor nelze analyzovat. Uložením dojde k jeho přepsání. ({error})","settings.localEnvironments.file.path":"Soubor: {path}","settings.localEnvironments.file.readError":"Nepodařilo se načíst údaje o prostředí. ({error})","settings.localEnvironments.file.title":"Soubor v místním prostředí","settings.localEnvironments.loading.body":"Načítání konfigurace projektu.","settings.localEnvironments.loading.title":"Načítání místních prostředí","settings.localEnvironments.preview.devOnly":"(pouze vývojáři)","settings.localEnvironments.preview.save":"Uložit","settings.localEnvironments.preview.saveError":"Soubor se nepodařilo uložit. ({error})","settings.localEnvironments.preview.title":"Náhled","settings.localEnvironments.save.disabled.name":"Pro uložení je nutné přidat název proměnné.","settings.localEnvironments.save.disabled.noChanges":"Žádné změny k uložení.","settings.localEnvironments.save.disabled.saving":"Ukládání…","settings.localEnvironments.save.success":"Uložené místní prostředí","settings.localEnvironments.unavailable.body":"Nepodařilo se nám načíst nastavení místního prostředí pro tento projekt.","settings.localEnvironments.unavailable.title":"Místní prostředí nejsou k dispozici","settings.localEnvironments.workspace.add":"Přidat projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Přidat prostředí.","settings.localEnvironments.workspaceSelect.description":"Místní prostředí říkají Codexu, jak nastavit pracovní stromy pro projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Zatím žádné projekty. Pokud chceš nakonfigurovat místní prostředí, přidej pracovní prostor.","settings.localEnvironments.workspaceSelect.errorLabel":"Prostředí vyžaduje pozornost","settings.localEnvironments.workspaceSelect.learnMore":"Další informace","settings.localEnvironments.workspaceSelect.listLabel":"Dostupné projekty","settings.localEnvironments.workspaceSelect.loading":"Načítání projektů.","settings.localEnvironments.workspaceSelect.loadingLabel":"Načítání prostředí","settings.localEnvironments.workspaceSelect.title":"Vyber projekt","settings.localEnvironments.workspaceSelect.viewAction":"Zobrazit","settings.mcp.addServer":"Přidat server","settings.mcp.app.configure":"Konfigurace","settings.mcp.app.connect":"Připojit","settings.mcp.apps.refresh":"Aktualizovat","settings.mcp.detail.addArgument":"Přidat argument","settings.mcp.detail.addEnvVar":"Přidat proměnnou prostředí","settings.mcp.detail.addEnvVarPassthrough":"Přidat proměnnou","settings.mcp.detail.args":"Argumenty","settings.mcp.detail.back":"Zpět","settings.mcp.detail.command":"Příkaz ke spuštění","settings.mcp.detail.cwd":"Pracovní adresář","settings.mcp.detail.docs":"Otevřít dokumentaci MCP","settings.mcp.detail.docs.link":"Dokumenty","settings.mcp.detail.envVarPassthrough":"Předání proměnné prostředí","settings.mcp.detail.envVars":"Proměnné prostředí","settings.mcp.detail.http.addEnvHeader":"Přidat proměnnou","settings.mcp.detail.http.addHeader":"Přidat záhlaví","settings.mcp.detail.http.bearerToken":"Proměnná prostředí tokenu nositele","settings.mcp.detail.http.envHeaders":"Záhlaví z proměnných prostředí","settings.mcp.detail.http.headers":"Záhlaví","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Jméno","settings.mcp.detail.save":"Uložit","settings.mcp.detail.switchTransportNotice":"Pokud chceš změnit typ serveru MCP, nejprve jej odinstaluj.","settings.mcp.detail.titleExisting":"Aktualizace MCP {name}","settings.mcp.detail.titleNew":"Připojení k vlastnímu MCP","settings.mcp.detail.transport.http":"Streamovatelné HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Odinstalovat","settings.mcp.empty":"Nebyly připojeny žádné vlastní servery MCP","settings.mcp.myServers":"Vlastní servery","settings.mcp.partnerServer.description.figma":"Vytvářej lepší kód díky úplnému kontextu Figma","settings.mcp.partnerServer.description.github":"Integrace s API GitHubu pro automatizaci pracovních postupů a extrakci dat","settings.mcp.partnerServer.description.linear":"Integrace se systémem sledování problémů a řízení projektů Linear","settings.mcp.partnerServer.description.notion":"Čtení dokumentů, aktualizace stránek, správa úkolů","settings.mcp.partnerServer.description.playwright":"Integrace automatizace prohlížeče pro implementaci návrhu a testování uživatelského rozhraní.","settings.mcp.partnerServer.install":"Instalovat","settings.mcp.partnerServer.installAndAuthenticate":"Nainstalovat a ověřit","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Spravovat","settings.mcp.partnerServer.vendor":"od autora {vendor}","settings.mcp.recommendedServers":"Doporučené servery","settings.mcp.restartApp":"Restartovat","settings.mcp.restartExtension":"Restartovat rozšíření","settings.mcp.server.enable":"Povolit","settings.mcp.server.login":"Ověřit se","settings.mcp.server.settings":"Nastavení","settings.multiselect.createOption":"Vytvořit „{value}“","settings.multiselect.removeOption":"Odebrat","settings.nav.account":"Účet","settings.nav.agent":"Konfigurace","settings.nav.ariaLabel":"Nastavení","settings.nav.back":"Zpátky k aplikaci","settings.nav.data-controls":"Archivovaná vlákna","settings.nav.environments":"Cloudová prostředí","settings.nav.externalTooltip":"[alfa] Otevře se v prohlížeči","settings.nav.general-settings":"Obecné","settings.nav.git-settings":"Git","settings.nav.local-environments":"Prostředí","settings.nav.mcp-settings":"Servery MCP","settings.nav.notImplemented":"[alfa] Není k dispozici v alfa verzi","settings.nav.personalization":"Přizpůsobení","settings.nav.skills-settings":"Dovednosti","settings.nav.usage-analytics":"Používání a analytika","settings.nav.worktrees":"Pracovní stromy","settings.openSourceLicenses.back":"Zpět","settings.openSourceLicenses.loading":"Načítání...","settings.openSourceLicenses.missing":"Nenašli jsme žádná oznámení třetích stran.","settings.openSourceLicenses.notSupported":"Není k dispozici v tomto hostiteli.","settings.openSourceLicenses.rowDescription":"Oznámení třetích stran pro zahrnuté závislosti","settings.openSourceLicenses.rowLabel":"Licence Open source","settings.openSourceLicenses.subtitle":"Oznámení třetích stran pro závislosti zahrnuté v této aplikaci","settings.openSourceLicenses.title":"Licence Open source","settings.openSourceLicenses.view":"Zobrazit","settings.personalization.agents.description":"Uprav pokyny, které přizpůsobí Codex na míru. {learnMore}","settings.personalization.agents.learnMore":"Další informace","settings.personalization.agents.loadError":"Nelze načíst agents.md.","settings.personalization.agents.loading":"Načítání agents.md…","settings.personalization.agents.placeholder":"Přidej vlastní pokyny…","settings.personalization.agents.retry":"Opakovat","settings.personalization.agents.save":"Uložit","settings.personalization.agents.save.error":"Nelze uložit agents.md","settings.personalization.agents.save.success":"Soubor agents.md byl uložen","settings.personalization.agents.title":"Vlastní pokyny","settings.personalization.personality.description":"Vyber výchozí tón, jakým má Codex odpovídat","settings.personalization.personality.label":"Osobnost","settings.sample.contentBody":"Pomocí tohoto rozložení vytvoříš panely nastavení s jednotnými mezerami.","settings.sample.contentTitle":"Vzorový blok obsahu","settings.section.account":"Účet","settings.section.agent":"Konfigurace","settings.section.data-controls":"Archivovaná vlákna","settings.section.environments":"Cloudová prostředí","settings.section.external":"Otevře se v prohlížeči v alfa verzi","settings.section.general-settings":"Obecné","settings.section.git-settings":"Git","settings.section.local-environments":"Prostředí","settings.section.mcp-settings":"Servery MCP","settings.section.mcp-settings.docs":"Dokumenty","settings.section.mcp-settings.subtitle":"Připojení externích nástrojů a zdrojů dat.","settings.section.personalization":"Přizpůsobení","settings.section.skills-settings":"Dovednosti","settings.section.unavailable":"Není zatím k dispozici v alfa verzi","settings.section.usage-analytics":"Používání a analytika","settings.section.worktrees":"Pracovní stromy","settings.threadDetail.description":"Vyber, kolik z výstupu příkazu se má zobrazovat ve vláknech","settings.threadDetail.label":"Detail vlákna","settings.worktrees.conversation.untitled":"Konverzace bez názvu","settings.worktrees.delete.error":"Pracovní strom se nepodařilo odstranit","settings.worktrees.empty.body":"Tady se zobrazí pracovní stromy vytvořené Codexem.","settings.worktrees.empty.title":"Zatím žádné pracovní stromy","settings.worktrees.error.body":"Při načítání pracovních stromů se něco pokazilo.","settings.worktrees.error.retry":"Opakovat","settings.worktrees.error.title":"Pracovní stromy nelze načíst","settings.worktrees.loading.body":"Načítání údajů o pracovním stromu.","settings.worktrees.loading.title":"Načítání pracovních stromů","settings.worktrees.repository.loading":"Načítání metadat úložiště…","settings.worktrees.repository.unknown":"Neznámé úložiště","settings.worktrees.row.conversations":"Konverzace","settings.worktrees.row.conversations.empty":"Žádné konverzace propojené s tímto pracovním stromem.","settings.worktrees.row.conversations.loading":"Načítání konverzací…","settings.worktrees.row.delete":"Odstranit","settings.worktrees.row.title":"Pracovní strom","sidebarElectron.addWorkspaceRoot":"Přidat nový projekt","sidebarElectron.archiveThread":"Archivovat vlákno","sidebarElectron.archiveThreadError":"Vlákno se nepodařilo archivovat.","sidebarElectron.collapseFolder":"Sbalit složku","sidebarElectron.createStableWorktree.dialog.cancel":"Zrušit","sidebarElectron.createStableWorktree.dialog.create":"Vytvořit","sidebarElectron.debugNavLink":"Ladění","sidebarElectron.editWorkspaceRootOptionName":"Upravit jméno","sidebarElectron.expandFolder":"Rozbalit složku","sidebarElectron.groupByMenu.recency":"Chronologický seznam","sidebarElectron.groupByMenu.title":"Organizovat","sidebarElectron.groupByMenu.workspace":"Podle projektu","sidebarElectron.inboxRouteNavLink":"Automatizace","sidebarElectron.markThreadUnread":"Označit jako nepřečtené","sidebarElectron.missingWorkspaceRoot":"Tato složka projektu byla odstraněna nebo přesunuta","sidebarElectron.newThread":"Nové vlákno","sidebarElectron.newThreadInGroup":"Zahájit nové vlákno ve složce {folder}","sidebarElectron.noRecentThreads":"Žádná nedávná vlákna","sidebarElectron.noTasks":"Žádná vlákna","sidebarElectron.noTasks.start":"Přidat nový projekt","sidebarElectron.noTasksWithFilter":"Filtrům neodpovídají žádná vlákna","sidebarElectron.pinnedThreads":"Připnutá vlákna","sidebarElectron.recentNavLink":"Vlákna","sidebarElectron.recentThreads":"Nedávná vlákna","sidebarElectron.removeWorkspaceRootOption":"Odebrat","sidebarElectron.renameThread":"Přejmenovat vlákno","sidebarElectron.renameThreadDialogAriaLabel":"Název vlákna","sidebarElectron.renameThreadDialogCancel":"Zrušit","sidebarElectron.renameThreadDialogPlaceholder":"Přidat název…","sidebarElectron.renameThreadDialogSave":"Uložit","sidebarElectron.renameThreadDialogSubtitle":"Měl by být krátký a rozpoznatelný.","sidebarElectron.renameThreadDialogTitle":"Přejmenovat vlákno","sidebarElectron.renameThreadError":"Vlákno se nepodařilo přejmenovat","sidebarElectron.renameWorkspaceRootOptionLabel":"Zobrazované jméno","sidebarElectron.showLess":"Zobrazit méně","sidebarElectron.showMenu.all":"Všechna vlákna","sidebarElectron.showMenu.relevant":"Relevantní","sidebarElectron.showMenu.relevantHint":"Zobrazovat jen nedávná vlákna pro aktuální větev, pracovní stromy nebo jiná vlákna, která vyžadují tvoji pozornost","sidebarElectron.showMenu.title":"Zobrazit","sidebarElectron.showMenu.tooltip":"Filtrování, řazení a organizace vláken","sidebarElectron.showMenu.trigger":"Filtrovat vlákna v postranním panelu","sidebarElectron.showMore":"Zobrazit víc","sidebarElectron.skillsRouteNavLink":"Dovednosti","sidebarElectron.sortMenu.created":"Vytvořeno","sidebarElectron.sortMenu.title":"Řadit podle","sidebarElectron.sortMenu.updated":"Aktualizováno","sidebarElectron.taskNavigation":"Složky automatizace","sidebarElectron.tasksInFolder":"Automatizace v {folder}","sidebarElectron.workspaceOptions":"Akce projektu u složky {folder}","sidebarElectron.worktreeGroupTooltip":"Toto je pracovní strom v gitu","skills.appsPage.createSkill":"Nová dovednost","skills.appsPage.empty.skills":"Nebyly nalezeny žádné dovednosti","skills.appsPage.search.skills":"Hledat dovednosti","skills.appsPage.search.skills.label":"Hledat dovednosti","skills.appsPage.section.installedApps":"Nainstalováno","skills.appsPage.section.skills":"Dovednosti","skills.appsPage.subheading":"Dej Codexu superschopnosti.<link>Další informace</link>","skills.appsPage.tab.recommended":"Doporučený","skills.appsPage.tab.skills":"Dovednosti","skills.card.contentsError":"Obsah dovednosti nelze načíst.","skills.card.disable":"Zakázat","skills.card.disableSuccess":"Dovednost {skillName} byla zakázána","skills.card.disabledBadge":"Zakázáno","skills.card.enable":"Povolit","skills.card.enableSuccess":"Dovednost {skillName} byla povolena","skills.card.loadingContents":"Načítání obsahu dovednosti…","skills.card.more":"Víc akcí","skills.card.open":"Počáteční","skills.card.removeFailed":"Dovednost se nepodařilo odinstalovat","skills.card.removeSuccess":"Dovednost {skillName} byla odinstalována","skills.card.toggleEnabledError":"Dovednost se nepodařilo aktualizovat","skills.card.try":"Vyzkoušet","skills.card.trySkill":"Vyzkoušet dovednost","skills.card.uninstall":"Odinstalovat","skills.hero.dotLabel":"Přejít na snímek {index}","skills.hero.next":"Další doporučená dovednost","skills.hero.trySkill":"Vyzkoušet dovednost","skills.page.createSkill":"Nová dovednost","skills.page.empty":"Nebyly nalezeny žádné dovednosti","skills.page.filteredEmpty":"Tvým filtrům neodpovídají žádné dovednosti","skills.page.filteredEmptyDescription":"Zkus upravit vyhledávání nebo filtry rozsahu","skills.page.heading":"Dovednosti","skills.page.loading":"Načítání dovedností…","skills.page.refreshSkills":"Aktualizovat","skills.page.refreshSkillsToUseNew":"Pokud chceš používat nové dovednosti, obnov stránku","skills.page.search":"Hledat dovednosti","skills.page.search.label":"Hledat dovednosti","skills.page.subheading":"Dej Codexu superschopnosti.<link>Další informace</link>","skills.preview.copyPrompt":"Zkopírovat prompt","skills.preview.examplePrompt":"Příklad výzvy","skills.recommended.error":"Doporučené dovednosti nelze načíst","skills.recommended.install":"Instalovat","skills.recommended.installSkill":"Nainstalovat dovednost","skills.recommended.installSuccess":"Dovednost {skillName} byla nainstalována","skills.recommended.installed":"Nainstalováno","skills.scope.admin":"Správce","skills.scope.adminInstalled":"Nainstalováno správcem","skills.scope.builtIn":"Systém","skills.scope.personal":"Osobní","skills.scope.repo":"Úložiště","skills.scope.system":"Systém","skills.scope.team":"Tým","skills.scope.user":"Uživatel","skills.section.installed":"Nainstalováno","skills.section.recommended":"Doporučený","story.slidingToggle.existing":"Existující","story.slidingToggle.fromLocal":"Z místní větve","story.slidingToggle.new":"Nové","story.slidingToggle.toLocal":"Do místní větve","terminal.close":"Zavřít terminál","terminal.title":"Terminál","thinkingShimmer.default":"Přemýšlí","threadEnvIcon.cloudTooltip":"Tato konverzace probíhá v Cloudu Codex.","threadEnvIcon.localTooltip":"Tato konverzace probíhá místně.","threadEnvIcon.worktreeTooltip":"Tato konverzace probíhá v místním pracovním stromu gitu.","threadHeader.archiveConfirmCancel":"Zrušit","threadHeader.archiveConfirmConfirm":"Archivovat","threadHeader.archiveConfirmSubtitle":"Najdeš je později v archivovaných vláknech.","threadHeader.archiveConfirmTitle":"Archivovat vlákno?","threadHeader.copyAppLink":"Zkopírovat zanořený odkaz","threadHeader.copySessionId":"Zkopírovat ID relace","threadHeader.copyWorkingDirectory":"Zkopírovat pracovní adresář","threadHeader.forkIntoLocal":"Vytvořit větev jako místní","threadHeader.forkIntoWorktree":"Vytvořit větev jako nový pracovní strom","threadHeader.forkPendingWorktreePrompt":"Rozvětvit tuto konverzaci do nového pracovního stromu.","threadHeader.forkPendingWorktreeTitle":"Rozvětvená konverzace","threadHeader.forkThreadError":"Vlákno se nepodařilo rozvětvit","threadHeader.forkThreadRequiresGitRepo":"Rozvětvení do nového pracovního stromu vyžaduje úložiště git","threadHeader.moreActions":"Akce u vlákna","threadPage.newThread":"Nové vlákno","threadPage.runAction.changeEnvironment":"Změnit prostředí","threadPage.runAction.dropdown.titleWithEnvironment":"Akce {environmentName}","threadPage.runAction.environmentSelector.label":"Vybrat prostředí","threadPage.runAction.label":"Spustit","threadPage.runAction.missing.label":"Nastavit spouštěcí akci","threadPage.runAction.setup.commandLabel":"Příkaz ke spuštění","threadPage.runAction.setup.description":"Řekni Codexu, jak instalovat závislosti a spouštět tvoji aplikaci.","threadPage.runAction.setup.editMore":"Nastavení prostředí","threadPage.runAction.setup.placeholder":"např.: npm install npm run","threadPage.runAction.setup.submit":"Uložit a spustit","threadPage.runAction.setup.title":"Spustit","threadPage.runAction.tooltip.withEnvironment":"Akce {environmentName}","threadPage.toggleDiffPanel":"Přepnout panel diffu","threadPage.toggleTerminal":"Přepnout terminál","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Otevřít složku","toolSummaryForCmd.exploredFiles":"<verb>Uvedl</verb> soubory","toolSummaryForCmd.exploredFilesInPath":"<verb>Uvedl</verb> soubory v {path}","toolSummaryForCmd.exploringFiles":"<verb>Uvádí</verb> soubory","toolSummaryForCmd.exploringFilesInPath":"<verb>Uvádí</verb> soubory v {path}","toolSummaryForCmd.ranGenericCommand":"<status>Spustil příkaz</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Provedeno</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Přečetl</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Spouští příkaz</status>{timer}","toolSummaryForCmd.runningTimer":"pro {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Vyhledal</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Vyhledal</verb> soubory","toolSummaryForCmd.searchedForInPath":"<verb>Vyhledal</verb> {query} v {path}","toolSummaryForCmd.searchingFor":"<verb>Vyhledává</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Vyhledává</verb> soubory","toolSummaryForCmd.searchingForInPath":"<verb>Vyhledává</verb> {query} v {path}","traceRecording.details.noteLabel":"Co jsi dělal/a, když k tomu došlo? (volitelné)","traceRecording.details.notePlaceholder":"Přešel jsem do velkého vlákna, potom opakovaně přepínal karty…","traceRecording.details.submit":"Odeslat trasování","traceRecording.details.subtitle":"Můžeme odeslat toto trasování profilu a pomoci diagnostikovat problémy s výkonem.","traceRecording.details.title":"Odeslat trasování profilu?","traceRecording.progress.subtitle":"Ponech Codex otevřený, než se to dokončí.","traceRecording.saving.title":"Ukládání trasování…","traceRecording.startDetails.cancel":"Zrušit","traceRecording.startDetails.submit":"OK, spustit nahrávání","traceRecording.startDetails.subtitle":"Po kliknutí na tlačítko OK reprodukuješ problém s výkonem, pak klikni na plovoucí červený indikátor a trasování zastav a zkontroluj.","traceRecording.startDetails.title":"Jak záznam trasování funguje","traceRecording.stopButton.ariaLabel":"Zastavit záznam trasování","traceRecording.upload.successToast":"Trasování profilu bylo odesláno.","traceRecording.uploading.title":"Nahrávání trasování…","wham.diff.addComment":"Přidat komentář","wham.diff.binaryFile":"Binární soubor se nezobrazuje","wham.diff.noContent":"Žádný obsah","wham.fileTag.deleted":"Odstraněno","wham.fileTag.new":"Nové","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} měs","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} t","wham.formattedRelativeDateTime.compactYearsAgo":"{value} r","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Pracuje na tvém úkolu","wham.whamProposedTask.title":"Navržený úkol","wham.whamProposedTask.useSuggestion":"Použít návrh","workspaceRootDialog.addError":"Projekt se nepodařilo přidat","workspaceRootDialog.cancel":"Zrušit","workspaceRootDialog.confirmAdd":"Přidat projekt","workspaceRootDialog.confirmPick":"Použít projekt","workspaceRootDialog.description":"Zadej cestu na hostiteli {host}, kterou chceš používat jako projekt.","workspaceRootDialog.pathLabel":"Cesta k projektu","workspaceRootDialog.pathPlaceholder":"/domu/ty/projekt","workspaceRootDialog.title.add":"Přidat cestu k projektu","workspaceRootDialog.title.pick":"Vyber cestu k projektu","worktreeInitV2.cancel":"Zrušit","worktreeInitV2.notification.failedTitle":"Pracovní strom se nepodařilo nastavit","worktreeInitV2.output.empty":"Čekání na výstup…","worktreeInitV2.status.error":"Pracovní strom se nepodařilo nastavit.","worktreeInitV2.status.running":"Vytváření pracovního stromu a provádění nastavení.","worktreeInitV2.status.runningFork":"Vytváření pracovního stromu pro rozvětvení této konverzace.","worktreeInitV2.status.success":"Pracovní strom je připravený.","worktreeInitV2.title":"Vytváření pracovního stromu","worktreeInitV2.workLocallyInstead":"Pracovat místo toho místně","worktreeRestoreBanner.body":"Pracovní strom tohoto vlákna byl odstraněn, aby se ušetřilo místo na disku","worktreeRestoreBanner.missing.body":"Pracovní adresář tohoto vlákna už neexistuje","worktreeRestoreBanner.missing.title":"Chybí aktuální pracovní adresář","worktreeRestoreBanner.restore.error":"Pracovní strom se nepodařilo obnovit: {message}","worktreeRestoreBanner.restore.success":"Pracovní strom byl obnoven","worktreeRestoreBanner.restoreCta":"Obnovit pracovní strom","worktreeRestoreBanner.title":"Pracovní strom byl vyčištěn"};export{e as default};
+const e={"CopyButton.copyTooltip":"Zkopírovat","app.sidebar.hide":"Skrýt postranní panel","app.sidebar.show":"Zobrazit postranní panel","app.sidebar.tooltip":"Přepnout postranní panel","appHeader.installUpdate":"Aktualizovat","appSunset.body":"Tato verze aplikace už není podporovaná. Stáhni si nejnovější verzi <here>tady</here>.","appSunset.title":"Je vyžadována aktualizace","automation.updateDirective.create":"Vytvořit","automation.updateDirective.open":"Počáteční","automation.updateDirective.untitled":"Automatizace bez názvu","automation.updateDirective.update":"Aktualizovat","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# pokus} few {# pokusy} many {# pokusu} other {# pokusů}}","cloudTaskRow.archiveError":"Archivace úlohy se nezdařila","code.diff.requestChange":"Požádat o změnu","code.diffComment.cancel":"Zrušit","code.diffComment.comment":"Komentář","code.diffComment.delete":"Odstranit","code.diffComment.save":"Uložit","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Nebyla nahlášena žádná zjištění.","codex.alert.closeAriaLabel":"Zavřít","codex.appUpsellBanner.cbpApi.message":"Tvoř rychleji s aplikací Codex. Stáhni si ji teď nebo se podívej na {learnMoreLink}.","codex.appUpsellBanner.download":"Stáhnout","codex.appUpsellBanner.freeGo.message":"Codex je součástí tvého plánu do 2. března. Vyzkoušej aplikaci Codex a tvoř rychleji.","codex.appUpsellBanner.later":"Později","codex.appUpsellBanner.learnMoreLowercase":"další informace","codex.appUpsellBanner.new":"Nové","codex.appUpsellBanner.proPlusBusiness.message":"Vyzkoušej aplikaci Codex s dvojnásobnými limity požadavků do 2. dubna. Stáhni si teď nebo se podívej na {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikace Codex","codex.applyDropdown.header.changes":"Změny","codex.applyDropdown.header.fileCount":"{count, plural, one {# soubor} few {# soubory} many {# souboru} other {# souborů}}","codex.applyDropdown.header.rows":"řádky","codex.applyDropdown.header.title":"Použít změny","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 soubor s konfliktem:} few {{count} soubory s konfliktem:} many {{count} souboru s konfliktem:} other {{count} souborů s konfliktem:}}","codex.applyDropdown.results.empty":"Nezkopírovaly se žádné soubory","codex.applyDropdown.results.skipped":"{count, plural, one {1 přeskočený soubor:} few {{count} přeskočené soubory:} many {{count} přeskočeného souboru:} other {{count} přeskočených souborů:}}","codex.applyOrRevertBanner.apply":"Použít","codex.applyOrRevertBanner.applyMessage":"Použít změny a pokračovat místně?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Tento úkol byl proveden v prostředí {environment}, takže nemusí být plně použitelný.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Změny byly provedeny v prostředí {environment}, takže nemusí být plně použitelné.","codex.applyOrRevertBanner.reapply":"Použít znovu","codex.applyOrRevertBanner.revert":"Vrátit","codex.applyOrRevertBanner.revertMessage":"Zrušit uplatněné změny?","codex.applyResultsDialog.applied":"Použito plně ({count})","codex.applyResultsDialog.close":"Zavřít","codex.applyResultsDialog.conflicted":"S konfliktem ({count})","codex.applyResultsDialog.noDetails":"Nejsou k dispozici žádné podrobnosti o souboru.","codex.applyResultsDialog.skipped":"Přeskočené ({count})","codex.applyResultsDialog.title":"Použít výsledky","codex.archiveInfo":"Archivované chaty si můžeš prohlédnout ve složce {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Ovládací prvky pro data","codex.archiveInfo.electron":"Archivované chaty si můžeš prohlédnout ve složce {settingsLink}","codex.archiveInfo.extension":"Archivované chaty si můžeš prohlédnout ve složce .codex.","codex.archiveInfo.settingsLink":"Nastavení","codex.banner.content.description":"Spouštěj úkoly paralelně, sleduj jejich průběh odkudkoli a kontroluj PR pomocí AI.","codex.banner.content.headline":"To všechno Codex zvládne.","codex.cloudTaskRow.archiveTask":"Archivovat úlohu","codex.cloudTaskRow.confirmArchiveTask":"Potvrdit","codex.command.feedback":"Zpětná vazba","codex.command.findInThread":"Najít","codex.command.forceReloadSkills":"Vynutit opětovné načtení dovedností","codex.command.logOut":"Odhlásit se","codex.command.manageTasks":"Spravovat úlohy","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Zpět","codex.command.navigateForward":"Přeposlat","codex.command.newThread":"Nové vlákno","codex.command.nextThread":"Další vlákno","codex.command.openFolder":"Otevřít složku","codex.command.openSkills":"Přejít na dovednosti","codex.command.openThreadOverlay":"Otevřít vlákno v samostatném okně","codex.command.personalitySettings":"Osobnost","codex.command.previousThread":"Předchozí vlákno","codex.command.settings":"Nastavení","codex.command.toggleDiffPanel":"Přepnout panel diffu","codex.command.toggleSidebar":"Přepnout postranní panel","codex.command.toggleTerminal":"Přepnout terminál","codex.commandGroup.app":"Aplikace","codex.commandGroup.configure":"Konfigurace","codex.commandGroup.navigation":"Navigace","codex.commandGroup.panels":"Panely","codex.commandGroup.skills":"Dovednosti","codex.commandGroup.thread":"Vlákno","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Žádné shody","codex.commandMenu.searchPlaceholder":"Vyhledávací příkazy","codex.commandMenu.suggestedGroup":"Navržené","codex.commandMenu.switchWorkspace":"Přepnout projekt","codex.commandMenu.title":"Nabídka příkazu","codex.common.retry":"Opakovat","codex.composer.searchBranches":"Hledat větve","codex.dialog.basic.body":"Toto je jednoduché modální dialogové okno využívající náš wrapper komponenty Radix Dialog.","codex.dialog.basic.cancel":"Zrušit","codex.dialog.basic.confirm":"Potvrdit","codex.dialog.basic.open":"Otevřít dialogové okno","codex.dialog.basic.title":"Vzorové dialogové okno","codex.dialog.long.close":"Zavřít","codex.dialog.long.line":"Posuvný řádek {index} pro zobrazení dlouhého obsahu v dialogovém okně.","codex.dialog.long.open":"Otevřít dlouhé dialogové okno","codex.dialog.long.title":"Dialogové okno s dlouhým obsahem","codex.dialog.unstyled.body":"Tento příběh ukazuje, jak mohou volající plně ovládat styl obsahu dialogu.","codex.dialog.unstyled.open":"Otevřít dialogové okno bez stylu","codex.dialog.unstyled.title":"Obsah bez stylu","codex.diff.openInEditorPrompt.openButton":"Otevřít v editoru","codex.diff.openInEditorPrompt.singleLine":"Tento soubor je příliš velký na zobrazení tady.","codex.diffView.failedToDecodeBase64Diff":"Nepodařilo se dekódovat diff base64","codex.diffView.filesChanged":"{fileCount, plural, one {# změněný soubor} few {# změněné soubory} many {# změněného souboru} other {# změněných souborů}}","codex.diffView.imagePreviewAlt":"Náhled obrázku","codex.diffView.imagePreviewEmpty":"Žádný obrázek","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Žádné údaje o diffu","codex.diffView.pdfPreview.nextPage":"Další stránka","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Předchozí stránka","codex.diffView.pdfPreviewEmpty":"Žádný náhled PDF","codex.diffView.pdfPreviewError":"Nelze vykreslit náhled PDF","codex.diffView.richPreviewDisable":"Zakázat formátovaný náhled","codex.diffView.richPreviewEnable":"Povolit formátovaný náhled","codex.diffView.richPreviewLoading":"Načítání náhledu…","codex.diffView.richPreviewToggle":"Přepnout formátovaný náhled","codex.diffView.switchToUnified":"Přepnout na sjednocený diff","codex.environmentSelector.noEnvironment":"Žádné prostředí","codex.environments.environmentSettings":"Nastavení prostředí","codex.environments.learnMore":"Další informace","codex.environments.listError":"Prostředí se nepodařilo načíst.","codex.environments.noEnvironmentsFound":"Nenalezena žádná prostředí","codex.environments.searchError":"Prostředí se nepodařilo vyhledat.","codex.errorBoundary.genericError":"Jejda, došlo k chybě","codex.errorBoundary.goHome":"Zkusit znovu","codex.file.patch.missing":"Nelze vytvořit opravu pro tento soubor.","codex.gallery.automations.cwdLabel":"Projekty","codex.gallery.automations.nameLabel":"Jméno","codex.gallery.automations.namePlaceholder":"Shrň úkol","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Popiš, co by měl Codex dělat","codex.gallery.dialogs.automation.label":"Dialogové okno automatizace","codex.gallery.dialogs.basic.body":"Toto rozložení použij pro jednoduchá potvrzení nebo krátké formuláře.","codex.gallery.dialogs.basic.cancel":"Zrušit","codex.gallery.dialogs.basic.confirm":"Potvrdit","codex.gallery.dialogs.basic.label":"Základní dialogové okno","codex.gallery.dialogs.basic.title":"Vzorové dialogové okno","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Popiš problém","codex.gallery.dialogs.feedbackSubmission.bad":"Špatný výsledek","codex.gallery.dialogs.feedbackSubmission.bug":"Chyba","codex.gallery.dialogs.feedbackSubmission.good":"Dobrý výsledek","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Zahrnout protokoly aktuální relace Codexu","codex.gallery.dialogs.feedbackSubmission.label":"Odeslání zpětné vazby","codex.gallery.dialogs.feedbackSubmission.other":"Jiné","codex.gallery.dialogs.feedbackSubmission.placeholder":"Tady popiš problém","codex.gallery.dialogs.feedbackSubmission.submit":"Odeslat","codex.gallery.dialogs.feedbackSubmission.title":"Zpětná vazba","codex.gallery.dialogs.feedbackSuccess.body":"Zpětná vazba nahrána. Pokud problém přetrvává, otevři problém v GitHubu nebo přidej zmínku ID vlákna ve stávajícím otevřeném problému:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Zrušit","codex.gallery.dialogs.feedbackSuccess.label":"Zpětná vazba byla úspěšně odeslána","codex.gallery.dialogs.feedbackSuccess.title":"Zpětná vazba byla nahrána","codex.gallery.dialogs.gitApplyResults.applied":"Použito plně (2)","codex.gallery.dialogs.gitApplyResults.close":"Zavřít","codex.gallery.dialogs.gitApplyResults.conflicted":"S konfliktem (1)","codex.gallery.dialogs.gitApplyResults.label":"Použít výsledky","codex.gallery.dialogs.gitApplyResults.title":"Použít výsledky","codex.gallery.dialogs.gitPushError.body":"Stáhni si nejnovější změny nebo vynuť uložení změn, pokud víš, že vzdálenou historii lze bezpečně přepsat.","codex.gallery.dialogs.gitPushError.cancel":"Zrušit","codex.gallery.dialogs.gitPushError.force":"Vynutit uložení změn","codex.gallery.dialogs.gitPushError.label":"Chyba uložení změn","codex.gallery.dialogs.gitPushError.subtitle":"Ve větvi chybí změny z origin/main.","codex.gallery.dialogs.gitPushError.title":"Změny se nepodařilo uložit","codex.gallery.dialogs.gitRevert.cancel":"Zrušit","codex.gallery.dialogs.gitRevert.confirm":"Vrátit","codex.gallery.dialogs.gitRevert.label":"Vrátit změny","codex.gallery.dialogs.gitRevert.skip":"Znovu se neptat","codex.gallery.dialogs.gitRevert.subtitle":"Tato akce odebere všechny tyto změny.","codex.gallery.dialogs.gitRevert.title":"Vrátit změny?","codex.gallery.dialogs.longForm.label":"Dialogové okno s dlouhým formulářem","codex.gallery.dialogs.proseModal.body":"Tento styl modálního okna se používá pro delší pokyny, úvod do používání nebo bloky s formátovaným obsahem.","codex.gallery.dialogs.proseModal.close":"Zavřít","codex.gallery.dialogs.proseModal.subtitle":"Tady můžeš poskytnout podrobnější pokyny nebo dokumentaci.","codex.gallery.dialogs.proseModal.title":"Modální okno textu","codex.gallery.dialogs.submitBlocked.label":"Odeslání blokováno","codex.gallery.dialogs.submitBlocked.message":"Zprávu jsme nemohli odeslat, protože projekt není k dispozici.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Zprávu se nepodařilo odeslat","codex.gallery.dialogs.title":"Dialogová okna","codex.gallery.dropdown.filterPlaceholder":"Filtrovat položky","codex.gallery.dropdowns.actionRow":"Řádky akcí","codex.gallery.dropdowns.actionRow.disabled":"Zakázaná akce","codex.gallery.dropdowns.actionRow.primary":"Primární akce","codex.gallery.dropdowns.actionRow.secondary":"Sekundární akce","codex.gallery.dropdowns.actionRow.trigger":"Zobrazit akce","codex.gallery.dropdowns.basic":"Základní rozevírací seznam","codex.gallery.dropdowns.basic.newFile":"Nový soubor","codex.gallery.dropdowns.basic.newFolder":"Nová složka","codex.gallery.dropdowns.basic.openSettings":"Otevřít nastavení","codex.gallery.dropdowns.basic.title":"Rychlé akce","codex.gallery.dropdowns.basic.trigger":"Otevřít nabídku","codex.gallery.dropdowns.basic.upload":"Nahrát","codex.gallery.dropdowns.panel":"Povrch panelu","codex.gallery.dropdowns.panel.apply":"Použít","codex.gallery.dropdowns.panel.body":"Zkontroluj rozdíly a použij je na svůj projekt.","codex.gallery.dropdowns.panel.preview":"Náhled","codex.gallery.dropdowns.panel.title":"Použít změny","codex.gallery.dropdowns.panel.trigger":"Otevřít panel","codex.gallery.dropdowns.search":"Rozevírací seznam s vyhledáváním","codex.gallery.dropdowns.search.first":"Alfa kanál","codex.gallery.dropdowns.search.second":"Beta větev","codex.gallery.dropdowns.search.third":"Uvolnit uchazeče","codex.gallery.dropdowns.search.trigger":"Filtrovat položky","codex.gallery.dropdowns.submenu":"Rozevírací seznam s dílčí nabídkou","codex.gallery.dropdowns.submenu.optionA":"Projekt alfa","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Přiřadit vlastníka","codex.gallery.dropdowns.submenu.secondary":"Přesunout do","codex.gallery.dropdowns.submenu.tertiary":"Archivovat","codex.gallery.dropdowns.submenu.trigger":"Vyber akci","codex.gallery.dropdowns.title":"Rozevírací seznamy","codex.gallery.inbox.automations.close":"Zavřít","codex.gallery.inbox.automations.popover.cardTitle":"Správa automatizací","codex.gallery.inbox.automations.popover.dialogTitle":"Správa automatizací","codex.header.settingsTooltip":"Nastavení","codex.hunk.patch.error":"Příprava se nezdařila","codex.hunk.patch.missing":"Nelze vytvořit opravu pro tento blok.","codex.hunk.patch.partialSuccess":"Částečný úspěch","codex.hunk.patch.revertError":"Přípravu se nepodařilo zrušit","codex.hunk.patch.revertSuccess":"Příprava úspěšně zrušena","codex.hunk.patch.success":"Úspěšně připraveno","codex.legal.autonomy.details":"Podrobnosti najdeš v {link}","codex.legal.autonomy.details.link":"dokumentaci Codexu","codex.legal.autonomy.title":"Rozhodni se, kolik autonomie chceš udělit","codex.legal.backButton":"Zpět","codex.legal.cloud.taskOne.meta":"openai/agi · 12. října","codex.legal.cloud.taskOne.title":"Vysvětli úložiště novému designérovi","codex.legal.cloud.taskThree.meta":"openai/codex · 8. října","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Vytvořit motiv pro tmavý režim","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. října","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Oprava chyby v úvodu do používání","codex.legal.continue.apikey":"Pokračovat","codex.legal.continueButton":"Další","codex.legal.copilot.details":"Používá tvůj plán Copilot pro všechna volání modelů, fakturaci a limity požadavků. Používání rozšíření Codex podléhá {oaiTos} a{gitHubTos}.","codex.legal.copilot.gitHubTosLink":"podmínkám služby GitHub","codex.legal.copilot.oaiTosLink":"podmínkám služby OpenAI","codex.legal.copilot.title":"Využívá GitHub Copilot","codex.legal.mistakes.review":"Zkontroluj kód, který píše, a příkazy, které spouští","codex.legal.mistakes.title":"Codex může dělat chyby","codex.legal.powered.details":"Používá limity požadavků tvého plánu a {link}","codex.legal.powered.details.link":"předvolby ohledně používání dat k trénování","codex.legal.powered.title":"Využívá tvůj účet ChatGPT","codex.legal.step.cloud.subtitle":"Odesílej úkoly do Codexu, ať se spouští na pozadí, a ty se tak můžeš soustředit a pracovat rychleji.","codex.legal.step.cloud.title":"Odeslání do Codexu v cloudu","codex.legal.step.intro.subtitle":"Codex prochází, upravuje, spouští příkazy a provádí testy přímo ve tvém úložišti. Využívá tvůj účet ChatGPT.","codex.legal.step.intro.title":"Codex ve tvém prostředí IDE","codex.legal.step.todo.subtitle":"Napiš komentář TODO a jediným kliknutím jej převeď na úkol pro Codex.","codex.legal.step.todo.title":"Převáděj komentáře TODO na úkoly pro Codex","codex.legal.todo.heading":"// TODO: implementuj schéma","codex.localConversation.closeImagePreview":"Zavřít náhled obrázku","codex.localConversation.userImageAttachment":"Příloha od uživatele","codex.localTaskRow.archiveTask":"Archivovat vlákno","codex.localTaskRow.awaitingApproval":"Čeká na schválení","codex.localTaskRow.awaitingResponse":"Čeká na odpověď","codex.localTaskRow.confirmArchiveTask":"Potvrdit","codex.loggedOut.apiKeyPrompt.cancel":"Zrušit","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Získat API klíč","codex.loggedOut.apiKeyPrompt.inputLabel":"Zadej svůj API klíč OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Úkoly v cloudu jsou u API klíče vypnuty","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Úkoly v cloudu jsou u Copilotu a API klíče vypnuty","codex.loggedOut.signIn":"Přihlásit se pomocí služby ChatGPT","codex.loggedOut.signIn.cancel":"Zrušit přihlášení","codex.loggedOut.signInWithCopilot":"Přihlásit se pomocí Copilotu GitHub","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Použít API klíč","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} nástroj","codex.mcpTool.collapsedLabel.verb.called":"Volal","codex.mcpTool.collapsedLabel.verb.calling":"Volá","codex.mcpTool.embeddedResource.contentLabel":"Obsah","codex.mcpTool.embeddedResource.mimeTypeLabel":"Typ MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Nástroj nevrátil žádný obsah","codex.mcpTool.rawPayloadHeading":"Nezpracovaná datová část volání nástroje {server}.{tool}","codex.menu.recent":"Nejnovější","codex.menu.seeAllHistory":"Zobrazit celou historii","codex.modelCapacityBanner.headline.noReset":"{modelName} teď má plnou kapacitu. Zkus to znovu později nebo začni novou konverzaci s jiným modelem.","codex.modelCapacityBanner.headline.withReset":"{modelName} teď má plnou kapacitu. Zkus to znovu po {resetDate} nebo začni novou konverzaci s jiným modelem.","codex.modelCapacityBanner.title":"Vybraný model má plnou kapacitu","codex.patch.change.contentsDeleted":"Obsah byl odstraněn","codex.patch.change.created":"Vytvořeno","codex.patch.change.created-file":"Soubor byl vytvořen","codex.patch.change.creating":"Vytváření","codex.patch.change.deleted":"Odstraněno","codex.patch.change.deleted-file":"Soubor byl odstraněn","codex.patch.change.deleting":"Odstraňování","codex.patch.change.edited":"Byla provedena úprava","codex.patch.change.edited-file":"Upravený soubor","codex.patch.change.editing":"Úpravy","codex.patch.change.noChanges":"Beze změn","codex.patch.change.rejected-add":"Odmítnuto","codex.patch.change.rejected-delete":"Odmítnuto","codex.patch.change.rejected-edit":"Odmítnuto","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Dokončených úkolů: {completed} z {total}","codex.plan.todoListCreated":"Byl vytvořen seznam {total} úkolů","codex.profileDropdown.apiKeyAuth":"Přihlášen/a pomocí API klíče","codex.profileDropdown.codexSettings":"Nastavení služby Codex","codex.profileDropdown.copilotAuth":"Přihlášen/a pomocí Copilotu","codex.profileDropdown.defaultAccountTitle":"Výchozí účet","codex.profileDropdown.enterBehavior":"Dlouhé prompty odešleš pomocí {modifierSymbol}+Enter","codex.profileDropdown.enterBehaviorError":"Nepodařilo se aktualizovat nastavení","codex.profileDropdown.getPlus":"Získej vyšší limity upgradem","codex.profileDropdown.keyboardShortcuts":"Klávesové zkratky","codex.profileDropdown.language":"Jazyk","codex.profileDropdown.languageDefault":"Automatická detekce","codex.profileDropdown.languageSearchPlaceholder":"Vyhledat jazyky","codex.profileDropdown.languageUpdateError":"Jazyk se nepodařilo aktualizovat","codex.profileDropdown.logOut":"Odhlásit se","codex.profileDropdown.mcp":"Nastavení MPC","codex.profileDropdown.openConfigToml":"Otevřít config.toml","codex.profileDropdown.openConfigToml.wsl":"Otevřít config.toml v prostředí WSL","codex.profileDropdown.openExtensionSettings":"Otevřít nastavení","codex.profileDropdown.openMcpSettings":"Otevřít nastavení MPC","codex.profileDropdown.openOnStartup":"Otevírat při spouštění","codex.profileDropdown.openOnStartupError":"Nepodařilo se aktualizovat nastavení","codex.profileDropdown.openSkillsSettings":"Otevřít nastavení funkce Dovednosti","codex.profileDropdown.personalAccountTitle":"Osobní účet","codex.profileDropdown.queueFollowUps":"Zařazovat pokračování do fronty","codex.profileDropdown.queueFollowUpsError":"Nepodařilo se aktualizovat nastavení","codex.profileDropdown.readDocs":"Přečíst dokumentaci","codex.profileDropdown.readSkillsDocs":"Přečíst dokumentaci","codex.profileDropdown.runInWsl":"Spouštět ve WSL","codex.profileDropdown.runInWslError":"Nepodařilo se aktualizovat nastavení","codex.profileDropdown.runInWslTooltip":"Spouští Codex ve WSL. Doporučeno pro zvýšení bezpečnosti sandboxu a lepší výkon.","codex.profileDropdown.settings":"Nastavení IDE","codex.profileDropdown.settingsPage":"Nastavení","codex.profileDropdown.signInWithOpenAI":"Přihlásit se pomocí služby ChatGPT","codex.profileDropdown.skills":"Nastavení funkce Dovednosti","codex.profileDropdown.switchToCopilotAccount":"Použít účet Copilot","codex.profileDropdown.switchToOpenAIAccount":"Použít účet OpenAI","codex.profileDropdown.todoCodelens":"Opravit komentáře TODO","codex.profileDropdown.todoCodelensError":"Nepodařilo se aktualizovat nastavení","codex.profileDropdown.windowsDocumentation":"Dokumentace Windows","codex.profileFooter.signedInFallback":"Nastavení","codex.profileFooter.upgrade":"Upgradovat","codex.recentTasksMenu.clearSearch":"Vymazat vyhledávání","codex.recentTasksMenu.cloud":"Úkoly v cloudu","codex.recentTasksMenu.count":"{count, plural, =0 {Neprobíhají žádné úlohy} one {Probíhá # úloha} few {Probíhají # úlohy} many {Probíhá # úlohy} other {Probíhá # úloh}}","codex.recentTasksMenu.empty":"Zatím žádná vlákna","codex.recentTasksMenu.errorCloud":"Nepodařilo se načíst úkoly.","codex.recentTasksMenu.errorCloud.inline":"Nepodařilo se načíst úkoly v cloudu.","codex.recentTasksMenu.filterAll":"Vše","codex.recentTasksMenu.filterCloudTasks":"Filtrovat úkoly v cloudu","codex.recentTasksMenu.filterTooltip":"Filtrovat úkoly podle prostředí","codex.recentTasksMenu.local":"Místní úkoly","codex.recentTasksMenu.recent":"Všechny úlohy","codex.recentTasksMenu.search":"Vyhledat nedávné úkoly","codex.recentTasksMenu.searchEmpty":"Žádný výsledek","codex.recentTasksMenu.tooltip":"Historie úkolů","codex.recentTasksMenu.trigger":"Nedávné úkoly. {count, plural, one {Probíhá #.} few {Probíhají #.} many {Probíhá #.} other {Probíhá #.}}","codex.remoteConversation.applyDiff.applyCta":"Použít změny","codex.remoteConversation.applyDiff.dropdownTitle":"Použít změny na místní větev","codex.remoteConversation.applyDiff.revertCta":"Vrátit změny","codex.remoteConversation.closeImagePreview":"Zavřít náhled obrázku","codex.remoteConversation.codexCloudTask":"Prohlížíš si úkol <u>Codexu v cloudu</u>","codex.remoteConversation.errorWithMessage":"Chyba: {message}","codex.remoteConversation.loadingImage":"Načítání obrázku","codex.remoteConversation.openInWeb":"Otevřít na webu","codex.remoteConversation.streaming":"Začínáme","codex.remoteConversation.turnFailed":"Během tohoto úkolu došlo k chybě","codex.remoteConversation.turnTab.loading":"Pokus {number}","codex.remoteConversation.turnTab.title":"Pokus {number}","codex.remoteConversation.userImageAttachment":"Příloha od uživatele","codex.remoteConversation.viewPreviousTurns":"Otevřít na webu","codex.remoteConversation.viewPreviousTurns.buttonText":"Počáteční","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Otevřít na webu","codex.review.copyGitApplyCommand":"Zkopírovat příkaz git apply","codex.review.copyGitApplyCommand.toast":"Příkaz git apply byl zkopírován do schránky","codex.review.diffTooLarge.description":"Tento diff je příliš velký na zobrazení v Kontrole.","codex.review.diffTooLarge.title":"Diff je příliš velký na zobrazení","codex.review.expandOrCollapseDiffButton.collapse":"Sbalit všechny diffy","codex.review.expandOrCollapseDiffButton.expand":"Rozbalit všechny diffy","codex.review.expandOrCollapseDiffMenu.collapse":"Sbalit všechny diffy","codex.review.expandOrCollapseDiffMenu.expand":"Rozbalit všechny diffy","codex.review.fileSearch.clear":"Vymazat filtr souborů","codex.review.fileSearch.empty":"Aktuálnímu filtru neodpovídají žádné soubory.","codex.review.fileSearch.label":"Filtrovat soubory","codex.review.fileSearch.placeholder":"Filtrovat soubory…","codex.review.filesChanged":"{num, plural, =0 {Nezměnily se žádné soubory} one {# změněný soubor} few {# změněné soubory} many {# změněných souborů} other {# změněných souborů}}","codex.review.find.loadMore":"Načíst další shody","codex.review.fullReview.hideFileTree":"Skrýt souborový strom","codex.review.fullReview.showFileTree":"Zobrazit souborový strom","codex.review.header.moreOptions":"Možnosti kontroly","codex.review.largeDiff.banner":"Byl zjištěn velký diff – soubory se zobrazují po jednom.","codex.review.loadFullFiles.disable":"Nenačítat úplné soubory","codex.review.loadFullFiles.enable":"Načíst úplné soubory","codex.review.noDiff":"Tady se zobrazí změny souborů","codex.review.noDiff.gitInit.createRepository":"Vytvořit úložiště git","codex.review.noDiff.gitInit.creating":"Vytváření…","codex.review.noDiff.gitInit.error":"Initializace gitu se nezdařila: {message}","codex.review.noDiff.gitInit.success":"Úložiště git bylo vytvořeno","codex.review.noDiff.gitRepoRequired.description":"Sledovat změny v tomto projektu a vrátit je","codex.review.noDiff.gitRepoRequired.title":"Vytvořit úložiště git","codex.review.noDiff.orNoLongerAvailable":"nebo nejnovější diffy už nejsou k dispozici","codex.review.noDiff.reverted":"Poslední běh byl vrácen","codex.review.noDiff.revertedOrCommitted":"Poslední běh byl vrácen nebo potvrzen","codex.review.refreshGitQueries":"Aktualizovat","codex.review.revert.file.error":"Soubor {path} se nepodařilo vrátit","codex.review.revert.file.partialSuccess":"Soubor {path} byl částečně vrácen","codex.review.revert.file.success":"Soubor {path} byl vrácen","codex.review.revert.hunk.error":"Blok {hunkNumber} v {path} se nepodařilo vrátit","codex.review.revert.hunk.partialSuccess":"Blok {hunkNumber} v {path} byl částečně vrácen","codex.review.revert.hunk.success":"Blok {hunkNumber} v {path} byl vrácen","codex.review.revert.section.error":"Část se nepodařilo vrátit","codex.review.revert.section.partialSuccess":"Část byla částečně vrácena","codex.review.revert.section.success":"Část byla vrácena","codex.review.revertDialog.cancel":"Zrušit","codex.review.revertDialog.confirm":"Potvrdit","codex.review.revertDialog.message":"Tato akce odebere všechny tyto změny.","codex.review.revertDialog.skip":"Znovu se neptat","codex.review.revertDialog.title":"Vrátit změny?","codex.review.richPreview.disable":"Zakázat formátovaný náhled","codex.review.richPreview.enable":"Povolit formátovaný náhled","codex.review.source.cloud":"Změny v cloudu","codex.review.source.local.all":"Všechny změny větve","codex.review.source.local.lastTurn":"Změny v posledním běhu","codex.review.source.local.uncommitted":"Změny bez commitu","codex.review.source.worktree":"Změny pracovního stromu bez commitu","codex.review.stageFilter.empty.staged.description":"Přijetím změn je připravíš","codex.review.stageFilter.empty.staged.title":"Žádné připravené změny","codex.review.stageFilter.empty.unstaged.description":"Tady se zobrazí změny kódu","codex.review.stageFilter.empty.unstaged.title":"Žádné připravené změny","codex.review.stageFilter.staged":"Připravené","codex.review.stageFilter.staged.count":"Připravené · {count}","codex.review.stageFilter.unstaged":"Nepřipravené","codex.review.stageFilter.unstaged.count":"Připravené · {count}","codex.review.switchToSplit":"Přepnout na rozdělený diff","codex.review.switchToUnified":"Přepnout na sjednocený diff","codex.review.toggleDiffView":"Přepnout zobrazení diffu","codex.review.wordDiffs.disable":"Zakázat rozdíly mezi slovy","codex.review.wordDiffs.enable":"Povolit rozdíly mezi slovy","codex.review.wrap.disable":"Zakázat zalamování textu","codex.review.wrap.enable":"Povolit zalamování textu","codex.section.patch.missing":"Nelze vytvořit opravu pro tuto část","codex.shell.collapse":"Sbalit shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Obsah shellu byl zkopírován","codex.shell.copy.copyTooltip":"Zkopírovat obsah shellu","codex.shell.copyCommand":"Zkopírovat příkaz","codex.shell.copyOutput":"Zkopírovat výstup","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Rozbalit shell","codex.shell.name":"Shell","codex.shell.noOutput":"Žádný výstup","codex.signInFailed.message":"Přihlášení se nezdařilo: {rawMessage}","codex.stories.toast.show":"Zobrazit vyskakovací oznámení ","codex.stories.tooltip.basic":"Toto je popisek","codex.stories.tooltip.hoverMe":"Přejeď přes mne","codex.stories.tooltip.largerOffset":"Tento popisek má větší odsazení","codex.stories.tooltip.offsetButton":"Větší odsazení","codex.stories.tooltip.shortcutButton":"Se zkratkou","codex.stories.tooltip.withShortcut":"Přepnout terminál","codex.taskRow.title":"Nové vlákno","codex.taskRowLayout.confirm":"Potvrdit","codex.threadFindBar.chatFilter":"Hledat v chatu","codex.threadFindBar.close":"Zavřít panel vyhledávání","codex.threadFindBar.diffFilter":"Hledat v diffech","codex.threadFindBar.label":"Najít ve vlákně","codex.threadFindBar.nextResult":"Další výsledek","codex.threadFindBar.noResults":"0 výsledků","codex.threadFindBar.placeholder":"Hledat ve vlákně…","codex.threadFindBar.placeholder.extension":"Hledat ve vlákně…","codex.threadFindBar.placeholder.review":"Hledat diff…","codex.threadFindBar.placeholder.review.extension":"Hledat diff…","codex.threadFindBar.previousResult":"Předchozí výsledek","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# změněný soubor} few {# změněné soubory} many {# změněného souboru} other {# změněných souborů}}","codex.unifiedDiff.inlineLargeFile":"Příliš velký pro vykreslení v řádku","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Vrátit zpět","codex.unifiedDiff.revertPatchError":"Změny se nepodařilo zrušit","codex.unifiedDiff.revertPatchSuccess":"Změny byly zrušeny","codex.unifiedDiff.reviewChangesSuffix":"změn(y)","codex.unifiedDiff.reviewShort":"Kontrola","codex.unifiedDiff.viewDiffTooltip":"Kontrola","codex.upsellBanner.business.headline":"Pokud chceš získat vyšší limity pro přístup, pošli žádost správci nebo počkej do {resetDate}.","codex.upsellBanner.cbp.headline":"Pokud chceš získat vyšší limity pro přístup, pošli žádost správci.","codex.upsellBanner.cta.addCredits":"Přidat kredity","codex.upsellBanner.cta.upgradeAccount":"Upgradovat","codex.upsellBanner.cta.viewUsage":"Zobrazit využití","codex.upsellBanner.free.trialHeadline":"Limit se ti resetuje {resetDate}. Pokud chceš používat Codex i dál a získat přístup k GPT-5.3-Codex, začni ještě dnes s bezplatnou zkušební verzí Plus.","codex.upsellBanner.freeOrGo.headline":"Tvůj limit požadavků se resetuje {resetDate}. Pokud chceš Codex používat i dál, upgraduj ještě dnes na verzi Plus.","codex.upsellBanner.general.headline":"Tvůj limit požadavků se resetuje {resetDate}.","codex.upsellBanner.general.title":"Máš vyčerpaný limit zpráv v Codexu","codex.upsellBanner.go.trialHeadline":"Limit se ti resetuje {resetDate}. Pokud chceš používat Codex i dál, začni ještě dnes s bezplatnou zkušební verzí Plus.","codex.upsellBanner.plus.headline":"Tvůj limit požadavků se resetuje {resetDate}. Pokud chceš Codex používat i dál, upgraduj ještě dnes na verzi Pro.","codex.upsellBanner.pro.headline":"Tvůj limit požadavků se resetuje {resetDate}. Pokud chceš Codex používat i dál, přidej si kredity.","codex.userMessage.autoResolveSync":"Automaticky řešit konflikty","codex.userMessage.commentCount":"{count, plural, one {# komentář} few {# komentářů} many {# komentářů} other {# komentářů}}","codex.userMessage.copiedAriaLabel":"Zkopírováno","codex.userMessage.copiedTooltip":"Zkopírováno","codex.userMessage.copyAriaLabel":"Zkopírovat zprávu","codex.userMessage.copyTooltip":"Zkopírovat","codex.userMessage.implementPlan":"Implementovat plán","codex.userMessage.noContent":"(Žádný obsah)","codex.userMessage.priorConversation":"Odkazuje na předchozí konverzaci","codex.userMessage.reviewMode":"Režim kontroly","codex.webSearch.summary":"{label} {details}","codex.webSearch.summary.details":"pro {query}","codex.webSearch.summary.verb.completed":"Hledal na webu","codex.webSearch.summary.verb.inProgress":"Hledá na webu","codex.windowsInstallWslBanner.dismiss":"Zrušit","codex.windowsInstallWslBanner.installWslCta":"Povolit sandbox","codex.windowsInstallWslBanner.learnMore":"Další informace","codex.windowsSandboxBanner.content":"Režim agenta využívá experimentální sandbox ve Windows k omezení přístupu k souborovému systému a síti. {sandboxLink}","codex.windowsSandboxBanner.title":"Povolit sandbox v režimu agenta","codex.windowsSubDropdown.windowsSandbox":"Sandbox Windows","codex.windowsSubDropdown.windowsSettings":"Nastavení Windows","codexUpgradeModal.body":"Náš nejvyspělejší agentní programovací model – chytřejší, rychlejší a schopnější v obecné technické práci. {link}","codexUpgradeModal.close":"Zavřít","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Další informace","codexUpgradeModal.title":"Představujeme GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Vyzkoušet GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Pokračovat s aktuálním modelem","commentAttachments.numComments":"{count, plural, one {# komentář} few {# komentáře} many {# komentáře} other {# komentářů}}","commentAttachments.removeAriaLabel":"Odebrat přílohu komentářů","common.close":"Zavřít","composer.addContext.openFilePickerError":"Nelze otevřít výběr souboru","composer.addContextDropdown.ariaLabel":"Přidávání souborů a další","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Přidávání souborů a další","composer.addPhotosAndFiles":"Přidat fotografie a soubory","composer.atMentionList.emptyQuery":"Začni psát text a vyhledej soubory","composer.atMentionList.loading":"Vyhledávání…","composer.atMentionList.noResults":"Žádné výsledky","composer.attemptsSelector.option":"{count, plural, one {# verze} few {# verze} many {# verzí} other {# verzí}}","composer.attemptsSelector.tooltip":"Počet paralelních pokusů, které má Codex provést","composer.attemptsSelector.trigger":"{count}×","composer.backgroundTerminals.stop":"Zastavit","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Místně","composer.cloudFollowUp.whereRun":"Kde se má tento následný krok spouštět?","composer.cloudTaskCreationError":"Při vytváření úkolu v cloudu k chybě","composer.cloudTaskError":"Při vytváření úkolu došlo k chybě","composer.contextWindow.autoCompactionTooltipLine1":"Codex automaticky komprimuje svůj kontext","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontextové okno:","composer.contextWindowUsageStatusFull":"Zaplněno z {usage} %","composer.contextWindowUsageStatusLeft":"Využito {usage} % (zbývá {remaining} %)","composer.contextWindowUsageTooltip":"Použitých tokenů: {usedTokens} tis. / {contextWindow} tis.","composer.customCliTooltip":"Použití vlastního spustitelného souboru CLI","composer.dictation.aria":"Diktování","composer.dictation.cancel.aria":"Ukončit diktování","composer.dictation.cancel.tooltip":"Ukončit diktování","composer.dictation.startError":"Diktování nelze zahájit","composer.dictation.submit.aria":"Přepsat a odeslat","composer.dictation.submit.tooltip":"Přepsat a odeslat","composer.dictation.tooltip":"Diktování zahájíš přidržením","composer.dictation.transcribeError":"Zvuk nelze přepsat","composer.dictation.unsupported":"Diktování není v tomto zařízení k dispozici","composer.dropOverlay.holdShift":"Obrázek upustíš podržením klávesy {key}","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Vytvořit nové","composer.environmentSelector.error":"Při načítání prostředí došlo k chybě","composer.environmentSelector.goBack":"Zpět k editoru","composer.environmentSelector.title":"Vyber prostředí","composer.environmentSelector.tooltip":"Vyber cloudové prostředí","composer.feedbackSlashCommand.title":"Zpětná vazba","composer.filePicker.selectFile":"Vyber soubor","composer.filePicker.selectFiles":"Vyber soubory","composer.followerTooltip":"Pokud chceš pokračovat, vrať se do okna, kde tato konverzace začala.","composer.footer.branchSwitch.checkoutError":"Větev se nepodařilo přepnout: {message}","composer.footer.branchSwitch.createAndCheckout":"Vytvořit a přepnout novou větev…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Pokud chceš vytvořit a přepnout novou větev, proveď commit změn","composer.footer.branchSwitch.createBranchError":"Větev se nepodařilo vytvořit: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Název větve","composer.footer.branchSwitch.createDialog.branchExistsError":"Větev už existuje.","composer.footer.branchSwitch.createDialog.close":"Zavřít","composer.footer.branchSwitch.createDialog.createAndCheckout":"Vytvořit a přepnout","composer.footer.branchSwitch.createDialog.placeholder":"nova-vetev","composer.footer.branchSwitch.createDialog.title":"Vytvořit a přepnout větev","composer.footer.branchSwitch.createDialog.trailingSlashError":"Název větve nemůže končit na „/“.","composer.footer.branchSwitch.tooltip":"Změnit větev","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Proveď commit změn v {fileCount, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}} a přepni {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Proveď commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"změn v {fileCount, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}} a přepni {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Zrušit","composer.footer.branchSwitch.uncommittedDialog.commit":"Provést commit a změnit větev…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Tvoje změny následujících souborů budou při přepnutí přepsány:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Pokud chceš pokračovat, proveď commit změn","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"vybraná větev","composer.footer.branchSwitch.uncommittedDialog.title":"Pokud chceš změnit větev, proveď commit změn","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Bez commitu: {fileCount, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}}","composer.forkSlashCommand.description":"Vytvořit větev tohoto vlákna jako místní nebo nový pracovní strom","composer.forkSlashCommand.option.local.description":"Pokračovat v novém místním vlákně","composer.forkSlashCommand.option.local.title":"Vytvořit větev jako místní","composer.forkSlashCommand.option.worktree.description":"Pokračovat v novém pracovním stromu","composer.forkSlashCommand.option.worktree.title":"Vytvořit větev jako nový pracovní strom","composer.forkSlashCommand.title":"Rozvětvit","composer.ideContextIndicator":"Kontext IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Zahrnout kontext z IDE","composer.ideContextIndicator.tooltipToggle":"pro přepnutí","composer.ideContextSlashCommand.disableDescription":"Vypnout kontext IDE","composer.ideContextSlashCommand.enableDescription":"Zahrnout aktuální výběr, otevřené soubory a další kontext z tvého IDE","composer.ideContextSlashCommand.title":"Kontext IDE","composer.imageInputsUnsupported":"Tento model nepodporuje obrázkové vstupy. Zkus jiný model.","composer.imageUploadFailed":"Obrázek se nepodařilo nahrát","composer.includeIdeContextDropdown":"Zahrnout kontext IDE","composer.includeIdeContextDropdown.ariaLabel":"Zahrnout kontext IDE","composer.localCwdDropdown.addWorkspaceRoot":"Přidat nový projekt","composer.localCwdDropdown.noActiveRoot":"Vyber svůj projekt","composer.localCwdDropdown.noResults":"Nebyly nalezeny žádné složky","composer.localCwdDropdown.title":"Vyber svůj projekt","composer.localTaskError":"Při zahajování konverzace došlo k chybě","composer.mcpSlashCommand.description":"Zobrazovat stav serveru MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Neověřeno","composer.mcpStatus.authOauth":"Ověřeno (OAuth)","composer.mcpStatus.authToken":"Ověřeno (API klíč)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zavřít","composer.mcpStatus.disabled":"Zakázáno","composer.mcpStatus.emptyLabel":"Servery:","composer.mcpStatus.emptyValue":"Nejsou nakonfigurovány žádné servery MCP","composer.mcpStatus.enabled":"Povoleno","composer.mcpStatus.errorLabel":"Stav:","composer.mcpStatus.errorValue":"Stav MCP nelze načíst","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Přepnout režim","composer.mode.agentMode.custom":"Vlastní","composer.mode.agentMode.custom.dropdownLabel":"Vlastní","composer.mode.agentMode.custom.option":"Vlastní (config.toml)","composer.mode.agentMode.custom.optionLabel":"Vlastní (config.toml)","composer.mode.agentMode.customInfo.cancel":"Zrušit","composer.mode.agentMode.customInfo.cli":"Tato nastavení můžeš upravit z příkazového řádku nebo přímou úpravou souboru.","composer.mode.agentMode.customInfo.confirm":"Použít vlastní režim","composer.mode.agentMode.customInfo.description":"Vlastní režim uplatní zásady pro schvalování a sandbox definované ve tvém souboru<link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Další informace o konfiguraci zásad pro schvalování a sandbox najdeš v<link>dokumentaci běhového prostředí</link>.","composer.mode.agentMode.customInfo.refresh":"Veškeré změny se projeví při příštím spuštění agenta.","composer.mode.agentMode.customInfo.title":"Jak funguje vlastní režim","composer.mode.agentMode.fullAccess":"Agent (úplný přístup)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (úplný přístup)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (úplný přístup)","composer.mode.agentMode.fullAccessConfirm.caution":"Při povolování úplného přístupu zachovej opatrnost. Výrazně se tím zvyšuje riziko ztráty dat, úniku informací nebo neočekávaného chování.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ano, přesto pokračovat","composer.mode.agentMode.fullAccessConfirm.description":"Když je služba Codex spuštěna s úplným přístupem, může bez tvého souhlasu upravovat jakýkoli soubor ve vašem počítači a spouštět příkazy v síti.","composer.mode.agentMode.fullAccessConfirm.goBack":"Zrušit","composer.mode.agentMode.fullAccessConfirm.title":"Povolit úplný přístup?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Přepnout režim","composer.mode.agentMode.tooltip.auto":"Čtení a úpravy souborů a spouštění příkazů.","composer.mode.agentMode.tooltip.custom":"Uplatní se nejnovější zásady pro schvalování a sandbox definované v souboru config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex může upravovat soubory mimo tento projekt a spouštět příkazy s přístupem k síti. Při používání zachovej opatrnost.","composer.mode.agentMode.tooltip.readOnly":"Vyžaduje schválení pro úpravy souborů a spouštění příkazů.","composer.mode.cloud.tooltip":"Pracovat v cloudovém prostředí","composer.mode.contactAdmin":"Pro rozšířený přístup kontaktuj správce","composer.mode.local":"Místně","composer.mode.local.learnMore":"Další informace","composer.mode.local.model.custom":"Vlastní","composer.mode.local.model.loadingModel":"Načítání modelu","composer.mode.local.model.selecrReasoningEffort":"Vyber odůvodňování","composer.mode.local.model.selectModel":"Vyber model","composer.mode.local.model.tooltip":"Vyber model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Vysoké","composer.mode.local.reasoning.low.label":"Nízké","composer.mode.local.reasoning.medium.label":"Střední","composer.mode.local.reasoning.minimal.label":"Minimální","composer.mode.local.reasoning.none.label":"Nic","composer.mode.local.reasoning.xhigh.label":"Mimořádně vysoká","composer.mode.localRemoteWhereRun":"Vyber, kde se má úkol spustit","composer.mode.newTask.header":"Pokračovat v","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Zbývající limity požadavků","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"Limit modelu {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {týdenní limit} few {{weeks}týdenní limit} many {{weeks}týdenní limit} other {{weeks}týdenní limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Každý týden} few {{weeks}týdenní} many {{weeks}týdenní} other {{weeks}týdenní}}","composer.mode.remote.connectToCloud":"Připojit web Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Nastav prostředí prostřednictvím webu Codex, aby bylo možné odesílat úkoly do cloudu.","composer.mode.remote.selectEnvironment":"Vyber prostředí","composer.mode.remote.sendToCloud":"Odeslat do cloudu","composer.mode.remote.setupViaWeb":"Nastavit prostředí prostřednictvím webu Codex","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Pracovat v cloudovém prostředí","composer.mode.segmentedToggle.local.tooltip":"Pracovat v místním projektu","composer.mode.segmentedToggle.worktree.tooltip":"Pracovat v paralelním pracovním stromu","composer.mode.upgradeToPlus":"Upgradovat na verzi Plus","composer.mode.upgradeToPro":"Upgradovat na verzi Pro","composer.mode.workLocally":"Místní projekt","composer.mode.workLocally.currentBranchFallback":"tvoje větev","composer.mode.workLocally.tooltip":"Pracovat na {branchName}","composer.mode.worktree":"Nový pracovní strom","composer.mode.worktree.submoduleWarning":"Toto úložiště má dílčí moduly gitu. Pracovní strom se nemusí podařit vytvořit","composer.mode.worktree.tooltip":"Vytvoření kopie místního projektu pro paralelní práci","composer.mode.worktreeSegment":"Pracovní strom","composer.modelChangeDuringConversationWarning.toast":"Změna modelu uprostřed konverzace sníží výkon.","composer.newChat.heading.browser":"Co bychom měli naprogramovat v budoucnu?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex používá oprávnění definované v souboru config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex má plný přístup ke tvému počítači (zvýšené riziko)","composer.permissionsDropdown.custom.label":"Vlastní (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Vlastní (config.toml)","composer.permissionsDropdown.default.label":"Výchozí oprávnění","composer.permissionsDropdown.default.optionLabel":"Výchozí oprávnění","composer.permissionsDropdown.default.tooltip":"Codex automaticky spouští příkazy v sandboxu","composer.permissionsDropdown.disabled.requirements":"Oprávnění jsou uzamčena souborem requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Úplný přístup zakazuje soubor requirements.toml","composer.permissionsDropdown.fullAccess.label":"Úplný přístup","composer.permissionsDropdown.fullAccess.optionLabel":"Úplný přístup","composer.permissionsDropdown.trigger.tooltip":"Změnit oprávnění","composer.personalitySlashCommand.description.friendly":"Vřelý, ochotný a nápomocný","composer.personalitySlashCommand.description.pragmatic":"Stručný, zaměřený na úkol a přímý","composer.personalitySlashCommand.label.friendly":"Přátelský","composer.personalitySlashCommand.label.pragmatic":"Pragmatický","composer.personalitySlashCommand.notApplicableSuffix":"(Nevztahuje se na aktuální model)","composer.personalitySlashCommand.title":"Osobnost","composer.placeholder.cloudFollowUp.directFollowUp":"Pokračování tohoto úkolu v cloudu","composer.placeholder.cloudFollowUp.local":"Vytvoření nového místního úkolu, který odkazuje na tento úkol v cloudu","composer.placeholder.cloudFollowUp.workingTree":"Vytvoření nového úkolu v cloudu, který obsahuje tvůj aktuální kód a bude odkazovat na tento úkol","composer.placeholder.localFollowUp.cloud":"Pokračování v novém úkolu v cloudu","composer.placeholder.localFollowUp.locally":"Požádej o následné změny","composer.placeholder.newTask.cloud":"Požádej Codex, ať udělá cokoli v cloudu","composer.placeholder.newTask.doAnything":"Požádej Codex o cokoli","composer.placeholder.newTask.locally":"Zeptej se Codexu na cokoli. Soubory přidáš znakem @, příkazy /","composer.planModeDropdown":"Režim plánu","composer.planModeDropdown.ariaLabel":"Režim plánu","composer.planModeIndicator":"Plán","composer.planModeIndicator.hintShortcut":"Cmd + Shift + P","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Vytvoř plán pomocí Codexu","composer.planModeIndicator.tooltipToggle":"pro přepnutí","composer.planSlashCommand.disableDescription":"Vypnout režim plánu","composer.planSlashCommand.enableDescription":"Zapnout režim plánu","composer.planSlashCommand.title":"Režim plánu","composer.priorContext.label":"Předchozí kontext","composer.priorContext.removeAriaLabel":"Odebrat předchozí kontext","composer.queuedMessage.delete":"Odstranit zprávy ve frontě","composer.queuedMessage.edit":"Upravit zprávu","composer.queuedMessage.more":"Akce u zpráv ve frontě","composer.queuedMessage.sendNow":"Řízení","composer.queuedMessage.sendNowTooltip":"Odeslat teď bez přerušování práce","composer.queuedMessage.turnOff":"Vypnout zařazování do fronty","composer.reasoningEffort.local.reasoning.tooltip":"Vyber náročnost odůvodňování","composer.remote.branchStartingPoint":"Od jaké větve by měl tento úkol začít?","composer.remote.branchesSectionHeading":"Větve","composer.remote.currentEditsSuffix.followUp":"Vytvoření nového úkolu, který odkazuje na tento úkol v cloudu.","composer.remote.currentEditsSuffix.useLocal":"s místními změnami kódu","composer.remote.directFollowUp":"Nepoužívat místní změny","composer.remote.errorLoadingBranches":"Při načítání větví došlo chybě","composer.remote.fromBranch":"Z větve {branch}","composer.remote.fromCurrentBranch":"Z větve {branch} (aktuální)","composer.remote.loadingMoreBranches":"Načítání...","composer.remote.localFileStateHeading":"Stav místního souboru","composer.remote.localWorkingTree":"Použít místní změny","composer.remote.startingPoint":"Od jakého kódu by měl tento úkol začít?","composer.reviewMode.branches.error":"Větve nelze načíst","composer.reviewMode.branches.retry":"Opakovat","composer.reviewMode.gitRoot.error":"Kořenový adresář Git nebyl nalezen","composer.reviewMode.option.baseBranch.simple":"Zkontrolovat oproti základní větvi","composer.reviewMode.option.unstaged.simple":"Zkontrolovat změny bez commitu","composer.reviewMode.quickReviewError":"Kontrolu kódu se nepodařilo spustit.","composer.reviewMode.title":"Kontrola kódu","composer.sandboxButton.unlock.disabled.tooltip":"Úplný přístup zakazuje soubor requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex může využívat experimentální sandbox ve Windows k omezení přístupu k souborovému systému a síti. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Povolit sandbox Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Používat pouze pro čtení","composer.searchEnvironments":"Hledat prostředí","composer.skillMentionList.app":"Aplikace","composer.skillMentionList.loading":"Načítání dovedností…","composer.skillMentionList.noResults":"Nebyly nalezeny žádné dovednosti","composer.slashCommands.cloudEnvironment.title":"Cloudové prostředí","composer.slashCommands.dialogLabel":"Nabídka příkazu s lomítkem","composer.slashCommands.dialogTitle":"Příkazy s lomítkem","composer.slashCommands.disabledTooltip":"Pokud chceš používat příkazy s lomítkem, zahaj novou konverzaci","composer.slashCommands.inputPlaceholder":"Najít informace na téma","composer.slashCommands.noResults":"Žádné příkazy","composer.slashCommands.skillsGroup":"Dovednosti","composer.slashCommands.tooltip":"Procházet příkazy s lomítkem","composer.status.close":"Zavřít","composer.statusPlain.alertLabel":"Výstraha:","composer.statusPlain.alertValue":"U {window} zbývá {remaining} %","composer.statusPlain.contextLabel":"Kontext:","composer.statusPlain.contextTotal":"{count} tis.","composer.statusPlain.contextValueMetadata":"(použito: {used}/{total})","composer.statusPlain.contextValueRemaining":"Zbývá {remaining} %","composer.statusPlain.heading":"Stav","composer.statusPlain.modelRateLimitSectionLabel":"Limit modelu {modelName}:","composer.statusPlain.rateLimitDays":"Limit za {count} d","composer.statusPlain.rateLimitFallbackLabel":"Limit požadavků:","composer.statusPlain.rateLimitHours":"Limit za {count} h","composer.statusPlain.rateLimitLabelBase":"Limit požadavků","composer.statusPlain.rateLimitMinutes":"Limit za {count} m","composer.statusPlain.rateLimitPercent":"Zbývá {remaining} %","composer.statusPlain.rateLimitReset":"obnoví se {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"čas obnovení není k dispozici","composer.statusPlain.rateLimitUnavailable":"Není k dispozici","composer.statusPlain.sessionCopiedAriaLabel":"ID relace bylo zkopírováno","composer.statusPlain.sessionCopiedTooltip":"ID bylo zkopírováno","composer.statusPlain.sessionCopyAriaLabel":"Zkopírovat ID relace","composer.statusPlain.sessionCopyTooltip":"Zkopírovat ID","composer.statusPlain.sessionLabel":"Relace:","composer.statusSlashCommand.description":"Zobrazení ID vlákna, použití kontextu a limity požadavků","composer.statusSlashCommand.title":"Stav","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Zprávu se nepodařilo odeslat","composer.submit.emptyMessage":"Začni zadáním zprávy","composer.submit.imageInputsUnsupported":"Pokud chceš tuto zprávu odeslat, odeber obrázky nebo změň model.","composer.submit.loadingLocalConfig":"Načítání...","composer.submit.missingCloudConfig":"Musíš si vybrat cloudové prostředí","composer.submit.missingCloudTurn":"U tohoto úkolu nelze provést následné akce","composer.submit.noWorkspace":"Pokud chceš používat Codex, přidej projekt","composer.submit.waitForImageUploads":"Nahrávání obrázků…","composer.submitButtonTooltip.send":"Odeslat","composer.submitButtonTooltip.stop":"Zastavit","composer.worktreeEnvironment.create":"Vytvořit místní prostředí","composer.worktreeEnvironment.default":"Výchozí prostředí","composer.worktreeEnvironment.error":"Při načítání prostředí došlo k chybě","composer.worktreeEnvironment.loading":"Načítání prostředí…","composer.worktreeEnvironment.title":"Místní prostředí","composer.worktreeEnvironment.tooltip":"Vyber místní prostředí","composer.worktreeSetupFailed":"Pracovní strom se nepodařilo nainstalovat. Podívej se, jestli .codex/environments neobsahuje instalační skript.","compoundButton.secondaryAction":"Sekundární akce","copyButton.copied":"Zkopírováno","copyButton.copiedAriaLabel":"Zkopírováno","copyButton.copy":"Zkopírovat","copyButton.copyAriaLabel":"Zkopírovat","copyButton.copyCode":"Zkopírovat kód","diff.actionButton.revertFile":"Vrátit soubor","diff.actionButton.revertHunk":"Vrátit","diff.actionButton.revertSection":"Vrátit vše","diff.actionButton.revertSectionLabel":"Vrátit vše","diff.actionButton.stageFile":"Připravit soubor","diff.actionButton.stageHunk":"Připravit","diff.actionButton.stageSection":"Připravit vše","diff.actionButton.stageSectionLabel":"Připravit vše","diff.actionButton.unstageFile":"Zrušit přípravu souboru","diff.actionButton.unstageHunk":"Zrušit přípravu","diff.actionButton.unstageSection":"Zrušit přípravu všeho","diff.actionButton.unstageSectionLabel":"Zrušit přípravu všeho","diff.fileHeader.toggle":"Přepnout diff souborů","electron.onboarding.login.apikey.cancel":"Zrušit","electron.onboarding.login.apikey.continue":"Pokračovat","electron.onboarding.login.apikey.label":"Otevřít API klíč","electron.onboarding.login.apikey.open":"Zadej API klíč","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Zrušit přihlášení","electron.onboarding.login.chatgpt.continue":"Pokračovat se službou ChatGPT","electron.onboarding.login.devbox":"Připojit ke vzdálenému SSH","electron.onboarding.login.error":"Přihlášení se nezdařilo: {rawMessage}","electron.onboarding.login.snake.start":"Hrát hada","electron.onboarding.login.sshConfig.cancel":"Zrušit","electron.onboarding.login.sshConfig.continue":"Pokračovat","electron.onboarding.login.sshConfig.hostnameLabel":"Název hostitele SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Nejlepší způsob, jak tvořit pomocí agentů","electron.onboarding.login.title":"Vítá tě Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Pokračovat","electron.onboarding.welcome.doubleLimits.description":"Na oslavu spuštění aplikace Codex máš do 2. dubna dvojnásobný limit požadavků.","electron.onboarding.welcome.freego.description":"Codex je zdarma součástí tvého plánu do 2. března – pojďme společně začít tvořit.","electron.onboarding.welcome.new.title.anon":"Vítej!","electron.onboarding.workspace.continue":"Pokračovat","electron.onboarding.workspace.empty":"Přidej projekt a pokračuj.","electron.onboarding.workspace.listLabel":"Dostupné projekty","electron.onboarding.workspace.loading":"Načítání projektů…","electron.onboarding.workspace.openFolder":"Přidat projekt","electron.onboarding.workspace.selectAll":"Vybrat vše","electron.onboarding.workspace.skip":"Přeskočit","electron.onboarding.workspace.skip.error":"Nelze vytvořit nový projekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Neznámá chyba","electron.onboarding.workspace.skipping":"Vytváření nového projektu…","electron.onboarding.workspace.subtitle":"Codex bude moci upravovat soubory a spouštět příkazy ve vybraných složkách.","electron.onboarding.workspace.title":"Vyber projekt","errorPage.list.checkSettings":"Zkus aktualizovat nastavení IDE","errorPage.list.configToml":"Podívej se, jestli config.toml neobsahuje neplatné nastavení","errorPage.list.downloadExtension":"Zkus si stáhnout jinou verzi rozšíření","errorPage.list.runInWsl":"Pokud se vyskytnou problémy s kompatibilitou, zkontroluj nastavení a vypni spouštění ve WSL","execApprovalRequest.menu.runAlways":"Ano, a už se na to v této relaci znovu neptat","execApprovalRequest.menu.runAlwaysWithAmendment":"Ano, a už se znovu neptat u příkazů začínajících na {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ano, a už se znovu neptat u příkazů začínajících na","execApprovalRequest.menu.runOnce":"Ano","execApprovalRequest.prompt":"Chceš spustit tento příkaz?","execApprovalRequest.reject":"Ne","execFooter.exitCode":"Kód ukončení {code}","execFooter.exitCode.unknown":"neznámý","execFooter.success":"Úspěch","feedback.dialog.category.badResult":"Špatný výsledek","feedback.dialog.category.bug":"Chyba","feedback.dialog.category.goodResult":"Dobrý výsledek","feedback.dialog.category.other":"Jiné","feedback.dialog.descriptionPlaceholder":"Tady popiš problém","feedback.dialog.dismiss":"Zrušit","feedback.dialog.includeLogsLabel":"Zahrnout protokoly aktuální relace Codexu","feedback.dialog.submit":"Odeslat","feedback.dialog.submitError":"Zpětnou vazbu nelze odeslat. Zkus to znovu za chvíli.","feedback.dialog.title":"Zpětná vazba","feedback.dialog.uploadedMessage.existingIssue":"stávající otevřený problému","feedback.dialog.uploadedMessage.openIssue":"otevři problém na GitHubu","feedback.dialog.uploadedMessage.withThread":"Zpětná vazba nahrána. Pokud problém přetrvává,{openIssueLink} nebo přidej zmínku ID vlákna ke {existingIssueLink}:","feedback.dialog.uploadedTitle":"Zpětná vazba byla nahrána","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Odebrat člena {filename}","header.back":"Zpět","header.recentChats":"Úlohy","header.recentTasks.seeAll":"Zobrazit vše ({total})","home.header.getPlus":"Získat Plus","home.hero.letsBuild":"Pojďme na to","homePage.mainContent":"Hlavní obsah","imageAttachment.defaultName":"obrázku","imageAttachment.preview.close":"Zavřít náhled obrázku","imageAttachment.removeAriaLabel":"Odebrat člena {filename}","implementPlanRequest.option.implement":"Ano, implementovat tento plán","implementPlanRequest.prompt":"Implementovat tento plán?","inbox.archived.deleteError":"Archivovaný běh nelze odstranit","inbox.archived.deleteRun":"Odstranit archivovaný běh","inbox.archived.deleteSuccess":"Archivované vlákno bylo odstraněno. Zobrazíš je v části <settingsLink>Archivovaná vlákna</settingsLink>.","inbox.archived.inlineLabel.auto":"Toto vlákno bylo automaticky archivováno. <learnMoreLink>Další informace</learnMoreLink>","inbox.archived.inlineLabel.manual":"Toto vlákno bylo archivováno.","inbox.archived.noMessageFound":"Nenalezena žádná zpráva","inbox.automations.createError":"Automatizaci nelze vytvořit","inbox.automations.deleteConfirm.cancel":"Zrušit","inbox.automations.deleteConfirm.confirm":"Odstranit automatizaci","inbox.automations.deleteConfirm.description":"Tím se automatizace trvale odstraní a zastaví se veškerá budoucí spuštění.","inbox.automations.deleteConfirm.title":"Odstranit {name}?","inbox.automations.deleteError":"Automatizaci nelze odstranit","inbox.automations.editTooltip":"Upravit automatizaci","inbox.automations.inProgress":"Probíhá","inbox.automations.new":"Nové","inbox.automations.newToolbar":"Nová automatizace","inbox.automations.pauseTooltip":"Pozastavit automatizaci","inbox.automations.resumeTooltip":"Pokračovat v automatizaci","inbox.automations.startingNow":"Spouští se teď","inbox.automations.startsIn":"Začíná za {startTime}","inbox.automations.status.active":"Aktivní","inbox.automations.status.paused":"Pozastaveno","inbox.automations.status.runs":"Spuštění: {count}","inbox.automations.status.started":"Zahájeno {date}","inbox.automations.updateError":"Automatizaci nelze aktualizovat","inbox.automations.workspaceFallback":"–","inbox.filter.all":"Vše","inbox.filter.ariaLabel":"Filtrovat položky příchozí pošty","inbox.filter.unread":"Nepřečtené","inbox.list.archived":"Archivované","inbox.list.inProgress":"Probíhá","inbox.list.recent":"Dokončeno","inbox.list.upNext":"Naplánované","inbox.mode.automations":"Automatizace","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Není poskytnut žádný popis","inbox.openThread":"Otevřít vlákno","inbox.rightPanel.emptySubtitle":"Automatizuj práci nastavením plánovaných úkolů","inbox.rightPanel.emptySubtitle.learnMore":"Automatizuj práci nastavením plánovaných vláken. <link>Další informace</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktivní automatizace} few {# aktivní automatizace} many {# aktivní automatizace} other {# aktivních automatizací}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Žádné nepřečtené automatizace","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# nepřečtená automatizace} few {# nepřečtené automatizace} many {# nepřečtené automatizace} other {# nepřečtených automatizací}}","inbox.rightPanel.emptyTitle":"Není vybraná žádná položka","inbox.rightPanel.noThread":"U této položky není žádné vlákno","inbox.rightPanel.quickStart.header":"Začni šablonou","inbox.untitled":"Položka příchozí pošty bez názvu","loadingPage.documentationLink":"dokumentaci","loadingPage.errorDescription":"Codex selhal s následující chybou:","loadingPage.errorDescription.documentation":"Kliknutím na Znovu načíst restartuješ rozšíření Codex nebo další pomoc najdeš v naší {documentationLink}.","loadingPage.errorSignal":"Co můžeš vyzkoušet:","loadingPage.errorTitle":"Došlo k chybě","loadingPage.openConfigToml":"Otevřít config.toml","loadingPage.reload":"Znovu načíst","localConversation.contextCompacted":"Kontext automaticky zkomprimován","localConversation.contextCompacting":"Kontext se automaticky komprimuje","localConversation.forkedFromConversation":"Rozvětveno z {threadTitle}","localConversation.merge.autoResolve.failed":"Automatické řešení se nepodařilo vyžádat: {error}","localConversation.merge.autoResolve.sent":"Požadavek na automatické řešení byl odeslán","localConversation.merge.autoResolveMerge.missingConversation":"Automatické řešení není k dispozici bez aktivní konverzace.","localConversation.merge.autoResolveMerge.request":"Automaticky řešit konflikty při slučování","localConversation.modelChanged":"Model se změnil z {fromModel} na {toModel}.","localConversation.modelChanged.warning.line1":"Změna modelu uprostřed konverzace sníží výkon.","localConversation.modelChanged.warning.line2":"Kontext se může automaticky zkomprimovat.","localConversation.moveThread.createBranch.label":"Vytvořit větev","localConversation.moveToLocal.disabled.loading":"Načítání...","localConversation.moveToLocal.modal.continue":"Pokračovat","localConversation.moveToLocal.modal.destinationLabel":"Přesunout do","localConversation.moveToLocal.modal.retry":"Opakovat","localConversation.moveToWorktree.modal.back":"Zpět","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Větev už existuje.","localConversation.moveToWorktree.modal.branchesError":"Větve nelze načíst","localConversation.moveToWorktree.modal.branchesLoading":"Načítání větví…","localConversation.moveToWorktree.modal.branchesRetry":"Opakovat","localConversation.moveToWorktree.modal.continue":"Pokračovat","localConversation.moveToWorktree.modal.retry":"Opakovat","localConversation.moveToWorktree.modal.trailingSlashError":"Název větve nemůže končit na „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nova-vetev","localConversation.personalityChanged":"Přepnuto na osobnost {personality}","localConversation.planSummary.collapse":"Sbalit shrnutí plánu","localConversation.planSummary.collapseTooltip":"Sbalit","localConversation.planSummary.download":"Stáhnout plán","localConversation.planSummary.expand":"Rozbalit shrnutí plánu","localConversation.planSummary.expandTooltip":"Rozbalit","localConversation.planSummary.openInNewWindow":"Počáteční","localConversation.planSummary.openInNewWindow.tooltip":"Otevřít v novém okně","localConversation.planSummary.title":"Plán","localConversation.planSummary.titleWriting":"Píše plán","localConversation.planSummary.viewPlan":"Rozbalit plán","localConversation.remoteTaskCreated":"Uživatel vytvořil {taskLink} v Codex Cloudu","localConversation.remoteTaskCreated.task":"úkol","localConversation.scrollToBottomButton":"Posunout dolů","localConversation.sync.buttonLabel":"Předat do místní větve","localConversation.sync.buttonLabel.tooltip":"Předání změn mezi tímto pracovním stromem a tvou místní verzí.","localConversation.sync.modal.loading.title":"Předávání změn…","localConversation.sync.modal.noChanges":"Beze změn","localConversation.syncSetup.branchAriaLabel":"Název větve","localConversation.syncSetup.branchName":"Název větve","localConversation.syncSetup.branchPlaceholder.existing":"Vyber existující větev","localConversation.syncSetup.branchPlaceholder.new":"codex/nova-funkce","localConversation.syncSetup.branchesLoading":"Načítání větví…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Už přepnuto","localConversation.syncSetup.checkoutClean":"Aktuálně ve větvi {branchName}","localConversation.syncSetup.checkoutDirty":"Aktuálně ve větvi {branchName} se změnami bez commitu","localConversation.syncSetup.checkoutError":"Větev se nepodařilo přepnout: {message}","localConversation.syncSetup.checkoutLabel":"Přepnout místně","localConversation.syncSetup.checkoutOnLocal":"Předat do místní větve","localConversation.syncSetup.checkoutPending":"Kontrola místního stavu…","localConversation.syncSetup.checkoutUnavailable":"Místní pracovní prostor není k dispozici","localConversation.syncSetup.checkoutUnknown":"Místní větev není k dispozici","localConversation.syncSetup.continue":"Pokračovat","localConversation.syncSetup.createBranchError":"Nepodařilo se nastavit předanou větev: {message}","localConversation.syncSetup.error":"Něco se pokazilo: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nelze pořídit snímek pracovního stromu. Zkus předání znovu.","localConversation.syncSetup.mode.ariaLabel":"Vyber režim větve","localConversation.syncSetup.mode.existing":"Existující větev","localConversation.syncSetup.mode.new":"Nová větev","localConversation.syncSetup.noBranches":"Nenalezeny žádné větve","localConversation.syncSetup.overwriteError":"Větev byla vytvořena, ale není zcela předána. Před lokálním přepnutím proveď předání ručně.","localConversation.syncSetup.setPrefix":"Nastavit předponu","localConversation.syncSetup.subtitle":"Testuj a upravuj změny pracovních stromů místně. <a>Další informace</a>","localConversation.syncSetup.success.checkedOut":"Větev byla vytvořena a je přepnuta místně","localConversation.syncSetup.success.notCheckedOut":"Větev byla vytvořena","localConversation.syncSetup.title":"Předat do místní větve","localConversation.syncWorktreeError.branchAriaLabel":"Název větve","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/nova-funkce","localConversation.syncWorktreeError.branchSetup.subtitle":"Vyber větev, do které chceš změny předat, a zkus je načíst znovu.","localConversation.syncWorktreeError.branchSetup.title":"Aktualizovat větev","localConversation.syncWorktreeError.branchUpdate.cta":"Aktualizovat a zkusit znovu","localConversation.syncWorktreeError.branchUpdate.error":"Větev se nepodařilo aktualizovat: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Něco se pokazilo: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Větev není přepnuta v žádném pracovním stromu.","localConversation.syncWorktreeV2.applyUncommitted":"Použít","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Pokud chceš použít změny bez commitu, musíš větev přepnout místně","localConversation.syncWorktreeV2.branches.empty":"Nenalezeny žádné větve","localConversation.syncWorktreeV2.branches.loading":"Načítání větví…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Změnit předanou větev","localConversation.syncWorktreeV2.changeBranch.error":"Nepodařilo se změnit předanou větev: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Nepodařilo se použít","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Nepodařilo se přepsat pracovní strom","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Nepodařilo se přepsat místní větev","localConversation.syncWorktreeV2.commandError.back":"Zpět","localConversation.syncWorktreeV2.commandError.body":"Při předávání došlo k chybě příkazu Gítu. Zkontroluj výstup a zkus to znovu.","localConversation.syncWorktreeV2.commandError.retry":"Opakovat","localConversation.syncWorktreeV2.description":"Předávání změn mezi místní větví a tímto pracovním stromem <a>Další informace</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"Vyber směr předávání","localConversation.syncWorktreeV2.error.generic":"Během předávání se něco pokazilo. Zkus to znovu.","localConversation.syncWorktreeV2.localBranchLabel":"Místně","localConversation.syncWorktreeV2.noChanges":"Výpočet změn","localConversation.syncWorktreeV2.noChanges.summary":"Beze změn","localConversation.syncWorktreeV2.overwrite.local":"Přepsat místní větev","localConversation.syncWorktreeV2.overwrite.worktree":"Přepsat pracovní strom","localConversation.syncWorktreeV2.partial.action.applyFailed":"Změny nelze použít","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Místní změny nelze přepsat","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Změny pracovního prostoru nelze přepsat","localConversation.syncWorktreeV2.partial.appliedLabel":"Použito","localConversation.syncWorktreeV2.partial.back":"Zpět","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Vyřeš konflikty a zkus to znovu.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikty","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}}","localConversation.syncWorktreeV2.partial.retry":"Opakovat","localConversation.syncWorktreeV2.partial.skippedLabel":"Přeskočeno","localConversation.syncWorktreeV2.stateFailed.generic":"Při načítání změn pracovního stromu k předání se něco pokazilo. Zkus to znovu.","localConversation.syncWorktreeV2.stateFailed.title":"Nepodařilo se načíst změny pracovního stromu","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nepodařilo se načíst změny pracovního stromu.","localConversation.syncWorktreeV2.statusError.retry":"Opakovat","localConversation.syncWorktreeV2.statusError.title":"Nelze načíst změny místní větve","localConversation.syncWorktreeV2.statusError.unknown":"Stav větve není momentálně k dispozici. Zkus to znovu.","localConversation.syncWorktreeV2.success.apply":"Změny byly úspěšně použity","localConversation.syncWorktreeV2.success.overwrite":"Předání úspěšné","localConversation.syncWorktreeV2.title":"Předat změny","localConversation.syncWorktreeV2.worktreeLabel":"Pracovní strom","localConversation.userInputRequest.inProgress":"Klade {count, plural, one {otázku} few {otázky} many {otázky} other {otázek}}","localConversation.userInputRequest.noAnswer":"Není uvedena žádná odpověď","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Položil","localConversation.userInputRequest.summary.count":"{count, plural, one {# otázku} few {# otázky} many {# otázky} other {# otázek}}","localConversation.workedFor":"Pracoval {time}","localConversation.worktreeBranchSetup.action.create":"Vytvořit","localConversation.worktreeBranchSetup.branchAriaLabel":"Název větve","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Vytvořit novou větev","localConversation.worktreeBranchSetup.checkoutDisabled":"Tato větev už je přepnutá zde: {location}","localConversation.worktreeBranchSetup.checkoutError":"Větev se nepodařilo přepnout: {message}","localConversation.worktreeBranchSetup.createBranchError":"Větev se nepodařilo nastavit: {message}","localConversation.worktreeBranchSetup.error":"Něco se pokazilo: {message}","localConversation.worktreeBranchSetup.subtitle":"Vytvoř větev, ať můžeš potvrzovat změny, ukládat změny a vytvářet PR z tohoto pracovního stromu. <a>Další informace</a>","localConversation.worktreeBranchSetup.title":"Tady můžeš pracovat","localConversationPage.addWorktreeToSidebar.tooltip":"Proveď uložení jako projekt, ať můžeš z tohoto pracovního stromu spouštět nová vlákna","localConversationPage.addWorktreeToSidebarError":"Projekt se nepodařilo přidat","localConversationPage.commitAndCreatePrModal.errorTitle":"Nepodařil se commit a vytvoření PR","localConversationPage.commitAndCreatePrModal.successTitle":"Proveden commit a vytvořen PR","localConversationPage.commitAndPushModal.errorTitle":"Nepodařil se commit a uložení změn","localConversationPage.commitAndPushModal.successTitle":"Proveden commit a uložení změn","localConversationPage.commitCreatePr.open":"Zobrazit pull request","localConversationPage.commitCreatePr.successTitle":"Byl vytvořen PR s nejnovějšími změnami","localConversationPage.createBranchButtonLabel":"Vytvořit větev tady","localConversationPage.createPrModal.baseBranch":"Základní","localConversationPage.createPrModal.baseBranchUnknown":"–","localConversationPage.createPrModal.confirm":"Vytvořit PR","localConversationPage.createPrModal.createDescription":"Otevřo pull request pro nejnovější změny.","localConversationPage.createPrModal.errorTitle":"Pull request se nepodařilo provést","localConversationPage.createPrModal.headBranch":"Hlavní","localConversationPage.createPrModal.headBranchUnknown":"–","localConversationPage.createPrModal.open":"Otevřít PR","localConversationPage.createPrModal.successTitle":"Pull request byl vytvořen","localConversationPage.createPrModal.title":"Vytvořit pull request","localConversationPage.createPrModal.viewDescription":"Pull request už pro tuto větev existuje.","localConversationPage.createPrModal.viewTitle":"Pull request už existuje","localConversationPage.createPullRequestAuthGh":"Ověření CLI GitHubu: spusť „gh auth login“","localConversationPage.createPullRequestBranchMissing":"Informace o větvi nejsou k dispozici","localConversationPage.createPullRequestButtonLabel":"Vytvořit PR","localConversationPage.createPullRequestButtonLabel.loading":"Vytváření PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Informace o výchozí větvi nejsou k dispozici","localConversationPage.createPullRequestError":"Nepodařilo se vytvořit pull request","localConversationPage.createPullRequestExistingPullRequest":"Pull request už u této větve existuje","localConversationPage.createPullRequestGhStatusMissing":"Načítání stavu CLI GitHubu…","localConversationPage.createPullRequestInstallGh":"Pokud chceš vytvářet PR, nainstaluj si GitHub (gh)","localConversationPage.createPullRequestNoRepo":"Nebylo nalezeno úložiště git","localConversationPage.createPullRequestPushStatusMissing":"Načítání stavu uložení změn…","localConversationPage.createPullRequestSetUpstream":"Před vytvořením tohoto PR uložit změny této větve","localConversationPage.createPullRequestSuccessToast":"Pull request byl vytvořen","localConversationPage.createPullRequestSwitchBranch":"Před vytvořením PR zkontroluj větev funkce","localConversationPage.error.render":"Při vykreslování místní konverzace došlo k chybě","localConversationPage.error.toast":"Konverzace nebyla nalezena","localConversationPage.forcePushError":"Uložení změn se nepodařilo vynutit","localConversationPage.generatePullRequestMessageError":"Nepodařilo se vygenerovat název a text pull requestu","localConversationPage.generatePullRequestMessageFailed":"Nepodařilo se vygenerovat název a text pull requestu.","localConversationPage.gitActionResult.branch":"Větev","localConversationPage.gitActionResult.cancel":"Zrušit","localConversationPage.gitActionResult.close":"Zavřít","localConversationPage.gitActionResult.tryAgain":"Zkusit znovu","localConversationPage.gitActions":"Akce v gitu","localConversationPage.newChat":"Nový chat","localConversationPage.openInTarget":"Otevřít v","localConversationPage.openPrimaryTarget":"Počáteční","localConversationPage.planItemsCompleted":"Dokončeno: {completedItems} z {totalItems, plural, one {# úkol} few {# úkolů} many {# úkolu} other {# úkolů}}","localConversationPage.pushAuthError":"Uložení změn se nezdařilo: vyžaduje se ověření","localConversationPage.pushBranchMissing":"Informace o větvi nejsou k dispozici","localConversationPage.pushButtonLabel":"Nabízená oznámení","localConversationPage.pushButtonLabel.loading":"Ukládání změn…","localConversationPage.pushError":"Změny se nepodařilo uložit","localConversationPage.pushModal.branchLabel":"Větev","localConversationPage.pushModal.branchUnknown":"–","localConversationPage.pushModal.cancel":"Zrušit","localConversationPage.pushModal.confirm":"Nabízená oznámení","localConversationPage.pushModal.description":"Ulož změny z nejnovějších commitů do vzdáleného úložiště.","localConversationPage.pushModal.errorTitle":"Změny se nepodařilo uložit","localConversationPage.pushModal.forcePush":"Vynutit uložení změn","localConversationPage.pushModal.successTitle":"Uložení změn bylo dokončeno","localConversationPage.pushModal.title":"Uložit změny","localConversationPage.pushModal.tryAgain":"Zkusit znovu","localConversationPage.pushNoUpstream":"Před odesláním této větve nastav upstream","localConversationPage.pushNoUpstreamError":"Uložení změn se nezdařilo: není nakonfigurovaný upstream","localConversationPage.pushNothingToPush":"Žádné nové commity k uložení","localConversationPage.pushRemoteChangedError":"Uložení změn se nezdařilo: vzdálené úložiště má nové commity","localConversationPage.pushRemoteRejectedError":"Uložení změn odmítnuto vzdáleným úložištěm","localConversationPage.pushStatusMissing":"Načítání stavu uložení změn…","localConversationPage.pushSuccessToast":"Uložené změny","localConversationPage.viewPullRequestButtonLabel":"Zobrazit PR","localConversationPage.viewPullRequestButtonLabel.loading":"Načítání pull requestu…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# seznam} few {# seznamy} many {# seznamu} other {# seznamů}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# vyhledávání} few {# vyhledávání} many {# vyhledávání} other {# vyhledávání}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Prozkoumávání","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Prozkoumáno","localConversationTurn.exploration.accordion.header.complete.withCounts":"Prozkoumal {counts}","localConversationTurnStory.showContent":"Zobrazit obsah","localConversationTurnStory.streamContent":"Streamovat obsah","localConversationTurnStory.toggleReasoning":"Zobrazit odůvodnění","localTaskRow.archiveError":"Konverzaci se nepodařilo archivovat","localTaskRow.resumeError":"Úkol se nepodařilo obnovit","mermaidDiagram.ariaLabel":"Diagram v Mermaid","mermaidDiagram.copySource":"Zkopírovat diagram Mermaid","mermaidDiagram.originalCode":"Zdrojový kód v Mermaid","notifications.permissions.description":"Zobrazit upozornění, když jsou vyžadována oprávnění pro oznámení","notifications.permissions.label":"Povolit oznámení o oprávněních","notifications.turnMode.always":"Vždy","notifications.turnMode.description":"Nastav, kdy tě má Codex upozornit, že skončil","notifications.turnMode.label":"Zapnout oznámení o dokončení","notifications.turnMode.off":"Nikdy","notifications.turnMode.unfocused":"Jen když aplikace není v popředí","patchApprovalRequest.approve":"Schválit","patchApprovalRequest.menu.allowAlways":"Ano, a už se na to v této relaci znovu neptat","patchApprovalRequest.menu.allowForSession":"Ano, a už se na to v této relaci znovu neptat","patchApprovalRequest.menu.allowOnce":"Ano","patchApprovalRequest.prompt":"Chceš provést tyto změny?","patchApprovalRequest.reject":"Ne","patchApprovalRequest.waitingForApproval":"Čeká na schválení k úpravě souborů","pendingRequest.approvalExec.collapse":"Sbalit","pendingRequest.approvalExec.expand":"Rozbalit","pendingRequestStory.toastAnswer":"Odpověď: {answer}","pendingRequestStory.toastApprovalTitle":"Odpověď na schválení","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Navazující zpráva byla odeslána","pendingRequestStory.toastNoAnswers":"Nejsou poskytnuty žádné odpovědi","pendingRequestStory.toastQuestion":"Otázka: {question}","pendingRequestStory.toastUnknownDecision":"Neznámé","pendingRequestStory.toastUserInputTitle":"Odeslané odpovědi","quickAction.request.codeReview.branches.new":"Zkontroluj změny u {from} oproti {to}","quickAction.request.codeReview.uncommitted.new":"Zkontroluj mé změny bez commitu","reasoningItem.thinking":"Přemýšlí","reasoningItem.thought":"Přemýšlel","reasoningItem.thoughtWithElapsed":"Přemýšlel {elapsed}","recentConversations.title":"Nedávné konverzace","recentTasks.worktreeInitFailedTitle":"Pracovní strom se nepodařilo inicializovat","recentTasks.worktreeSettingUpTitle":"Nastavování pracovního stromu","requestInputPanel.continue":"Pokračovat","requestInputPanel.dismiss":"Zrušit","requestInputPanel.escapeKey":"Esc","requestInputPanel.freeFormPlaceholder":"Začni psát sem","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ne, a řekni Codexu, co má dělat jinak","requestInputPanel.selectedBadge":"Vybrané","requestInputPanel.skip":"Přeskočit","requestInputPanel.submit":"Odeslat","review.commit.ariaLabel.includeUnstaged":"Zahrnout nepřipravené","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Provádění commitu…","review.commit.disabled.loadingDiff":"Načítání diffu…","review.commit.disabled.missingContext":"Přidej kontext a vygeneruj zprávu u commitu","review.commit.disabled.noChanges":"Commit beze změn","review.commit.disabled.noSelection":"Vyber změny commitu","review.commit.disabled.unavailable":"Commit teď není k dispozici","review.commit.error":"Nepodařil se provést commit změn","review.commit.form.changesToBeCommitted":"Změny","review.commit.form.commitTo":"Větev","review.commit.form.commitTo.none":"–","review.commit.form.continue":"Pokračovat","review.commit.form.title":"Proveď commit svých změn","review.commit.generate.emptyResponse":"Zprávu u commitu nelze vygenerovat.","review.commit.generate.failed":"Zprávu u commitu se nepodařilo vygenerovat: {error}","review.commit.generate.missingPrompt":"Přidej kontext a vygeneruj zprávu u commitu.","review.commit.includeUnstaged":"Zahrnout nepřipravené","review.commit.loading.description":"Vydrž, může to chvilku trvat…","review.commit.loading.step.commit.done":"Změny s commitem","review.commit.loading.step.commit.pending":"Potvrzuje změny","review.commit.loading.step.createPr.done":"Pull request byl vytvořen","review.commit.loading.step.createPr.pending":"Vytváření pull requestu","review.commit.loading.step.push.done":"Byly uloženy změny do větve {branch}","review.commit.loading.step.push.pending":"Ukládání změn do větve {branch}","review.commit.loading.title.commit":"Potvrzuje změny","review.commit.loading.title.createPr":"Vytváření PR","review.commit.loading.title.push":"Ukládání změn","review.commit.messageLabel":"Zpráva u commitu","review.commit.messagePlaceholder":"Ponechej pole prázdné, pokud se zpráva u commitu má generovat automaticky","review.commit.nextSteps":"Další kroky","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Provést commit a vytvořit PR","review.commit.nextSteps.commitAndPush":"Provést commit a uložit změny","review.commit.nextSteps.prRequiresGh":"Vyžaduje CLI GitHubu: {command}","review.commit.rows.changes":"Změny","review.commit.rows.commitCount":"{count, plural, one {# commit} few {# commity} many {# commitu} other {# commitů}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} few {# commity} many {# commitu} other {# commitů}} a {stats}","review.commit.rows.fileCount":"{count, plural, one {# soubor} few {# souborů} many {# souborů} other {# souborů}}","review.commit.state.error.body":"Při provádění commitu se něco pokazilo. Zkontroluj stav gitu a zkus to znovu.","review.commit.state.error.title":"Commit se nezdařil","review.commit.state.success.title":"Commit změn byl proveden","review.commit.untracked.loadingStats":"Načítání nesledovaných statistik diffů…","reviewFindingAttachments.count":"{count, plural, one {# zjištění} few {# zjištění} many {# zjištění} other {# zjištění}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Uprav si konfiguraci a přizpůsob chování agenta","settings.agent.configuration.configToml.docs":"Dokumenty","settings.agent.configuration.configToml.restartNote":"Po úpravách restartuj Codex, aby se změny projevily","settings.agent.configuration.subtitle":"Toto nastavení se použije všude, kde se používá Codex","settings.automations.banner.danger":"Automatizace se provádějí s výchozím nastavením sandboxu, které je aktuálně nastaveno na plný přístup. Spouštění automatizací na pozadí s plným přístupem s sebou nese zvýšené riziko, protože Codex může upravovat soubory, spouštět příkazy a přistupovat k síti, aniž by o to žádal. Zvaž aktualizaci nastavení sandboxu na zápis do pracovního prostoru a používání <rulesDocsLink>pravidel</rulesDocsLink> k selektivnímu definování příkazů, které může agent spouštět s plným přístupem.","settings.automations.banner.defaultHowTo.default":"Automatizace se provádějí s výchozím nastavením sandboxu. Volání nástrojů se nezdaří, pokud vyžadují úpravy souborů mimo pracovní prostor, přístup k síti nebo práci s aplikacemi v počítači. Pomocí <rulesDocsLink>pravidel</rulesDocsLink> můžeš selektivně povolit příkazy, které se mají spouštět mimo sandbox.","settings.automations.banner.defaultHowTo.readOnly":"Automatizace se provádějí s výchozím nastavením sandboxu, které jsou nastaveny pouze pro čtení. Volání nástrojů se nezdaří, pokud vyžadují úpravy souborů, přístup k síti nebo práci s aplikacemi v počítači. Zvaž aktualizaci nastavení sandboxu na zápis do pracovního prostoru.","settings.automations.cancel":"Zrušit","settings.automations.create":"Vytvořit","settings.automations.cwdEmpty":"K dispozici nejsou žádné složky projektu","settings.automations.cwdLabel":"Projekty","settings.automations.cwdPlaceholder":"Vyber složku","settings.automations.cwdSubtitle":"Pokud chceš, aby se automatizace spouštěla na konkrétní větvi, můžeš to uvést v promptu.","settings.automations.delete":"Odstranit","settings.automations.dialog.editTitle":"Upravit automatizaci","settings.automations.dialog.newTitle":"Nová automatizace","settings.automations.dialog.subtitle":"Automatizuj opakující se úkoly na pozadí. Codex přidává nálezy do doručené pošty nebo automaticky úkol archivuje, pokud není co hlásit. <learnMoreLink>Další informace</learnMoreLink>","settings.automations.dialog.title":"Vytvořit automatizaci","settings.automations.executionCopy.git":"Automatizace se provádějí na pozadí ve vyhrazených pracovních stromech.","settings.automations.executionCopy.nonGit":"Automatizace v projektech bez správy verzí se provádějí přímo v adresáři projektu. Pokud chceš povolit provádění v pracovních stromech na pozadí, zvaž použití gitu.","settings.automations.executionEnvironment.local":"Místně","settings.automations.executionEnvironment.worktree":"Pracovní strom","settings.automations.loading":"Načítání...","settings.automations.nameLabel":"Jméno","settings.automations.namePlaceholder":"Vyhledání problémů Sentry","settings.automations.pause":"Pozastavit","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"hledej pády v $Sentry","settings.automations.resume":"Pokračovat","settings.automations.rruleSummaryFallback":"Vlastní harmonogram","settings.automations.runNow":"Otestovat","settings.automations.save":"Uložit","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Pracovní dny","settings.automations.scheduleBadge.weekends":"Víkendy","settings.automations.scheduleHeader":"Harmonogram","settings.automations.scheduleHours":"hod.","settings.automations.scheduleLabel":"Spouštět každý(ch)","settings.automations.scheduleMode.daily":"Každý den","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Typ plánu","settings.automations.scheduleSummary.daily":"Každý den v {time}","settings.automations.scheduleSummary.interval":"Každých {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dne} few {# dní} many {# dní} other {# dní}}","settings.automations.scheduleSummary.intervalDays":"{interval} v {days}","settings.automations.scheduleSummary.intervalHourly":"Každou hodinu","settings.automations.scheduleSummary.singleDay":"{day} v {time}","settings.automations.scheduleSummary.weekdays":"Pracovní dny v {time}","settings.automations.scheduleSummary.weekdaysLabel":"pracovní dny","settings.automations.scheduleSummary.weekends":"Víkendy v {time}","settings.automations.scheduleSummary.weekendsLabel":"víkendy","settings.automations.scheduleSummary.weekly":"{days} v {time}","settings.automations.scheduleWeekdays":"Zapnuto","settings.automations.weekdayState.excluded":"Vyloučeno","settings.automations.weekdayState.included":"Zahrnuto","settings.conversationDetail.steps":"Kroky","settings.conversationDetail.steps.description":"Skrýt příkazy a výstupy","settings.conversationDetail.stepsWithCommands":"Kroky s příkazy v kódu","settings.conversationDetail.stepsWithCommands.description":"Zobrazit příkazy, sbalit výstup","settings.conversationDetail.stepsWithOutput":"Kroky s výstupem kódu","settings.conversationDetail.stepsWithOutput.description":"Zobrazit příkazy a rozbalit výstup","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Žádné archivované chaty.","settings.dataControls.archivedChats.error":"Archivované chaty nelze načíst.","settings.dataControls.archivedChats.loading":"Načítání archivovaných chatů…","settings.dataControls.archivedChats.unarchive":"Zrušit archivaci","settings.dataControls.archivedChats.unarchiveError":"Nepodařilo se zrušit archivaci chatu","settings.dataControls.archivedChats.unarchiveSuccess":"U vlákna byla zrušena archivace. <viewNowLink>Zobrazit</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Nearchivované vlákno.","settings.dataControls.archivedChats.untitled":"Chat bez názvu","settings.dataControls.archivedChats.viewNow":"Zobrazit teď","settings.editRow.headerPlaceholder":"Klíč","settings.editRow.removeEntry":"Odebrat položku","settings.editRow.valuePlaceholder":"Hodnota","settings.general.appearance":"Vzhled","settings.general.appearance.codeFont":"Písmo kódu","settings.general.appearance.codeFont.description":"Uprav písmo a velikost používané pro kód v chatech a diffech","settings.general.appearance.codeFontFamily":"Font kódu","settings.general.appearance.codeFontSize":"Velikost písma kódu","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Nastavit okna tak, aby používala plné pozadí namísto průhlednosti systému","settings.general.appearance.opaqueWindows.label":"Používat neprůhledné pozadí oken","settings.general.appearance.sansFontFamily":"Font Sans","settings.general.appearance.sansFontFamily.description":"Uprav písmo používané pro uživatelské rozhraní Codexu","settings.general.appearance.sansFontSize":"Velikost písma Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Zobrazit efekty oslav v celém okně, zatímco GPT-5.3-Codex-Spark provádí první akci","settings.general.appearance.sparkCelebrationEffects.label":"Efekty oslavy s jiskřením","settings.general.appearance.theme":"Motiv","settings.general.appearance.theme.dark":"Tmavý","settings.general.appearance.theme.description":"Použití světlého, tmavého režimu nebo přizpůsobení systému","settings.general.appearance.theme.light":"Světlý","settings.general.appearance.theme.system":"Systém","settings.general.appearance.usePointerCursors.description":"Při najetí kurzorem na interaktivní prvky změnit kurzor na ukazatel","settings.general.appearance.usePointerCursors.label":"Používat kurzory v podobě ukazatele","settings.general.enterBehavior.description":"Pokud je tato možnost povolena, prompt na víc řádků je nutné odesílat pomocí {modifierSymbol}+Enter.","settings.general.enterBehavior.label":"Vyžadovat k odesílání dlouhých promptů {modifierSymbol}+Enter","settings.general.experimentalFeatures":"Experimentální funkce (beta)","settings.general.experimentalFeatures.empty":"Nejsou k dispozici žádné experimentální funkce beta.","settings.general.experimentalFeatures.loading":"Načítání experimentálních funkcí…","settings.general.experimentalFeatures.restartNote":"Změny experimentálních funkcí se projeví po restartování Codexu","settings.general.experimentalFeatures.toggle":"Přepínač modelu {featureName}","settings.general.followUpQueueMode.description":"Zařazovat pokračování do fronty, když je Codex spuštěný, nebo řídit aktuální spuštění. Pokud chceš udělat opak u jedné zprávy, stiskni {invertFollowUpShortcutLabel}.","settings.general.followUpQueueMode.interrupt":"Řízení","settings.general.followUpQueueMode.label":"Sledovat chování","settings.general.followUpQueueMode.queue":"Zařazovat do fronty","settings.general.notifications":"Oznámení","settings.general.power.preventSleepWhileRunning.description":"Nech počítač v provozu, zatímco Codex spouští vlákno.","settings.general.power.preventSleepWhileRunning.label":"Bránit režimu spánku při spuštění","settings.git.branchPrefix.ariaLabel":"Předpona větve","settings.git.branchPrefix.description":"Předpona používaná při vytváření nových větví v Codexu","settings.git.branchPrefix.label":"Předpona větve","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Předponu větve se nepodařilo uložit","settings.git.branchPrefix.save.success":"Uložená předpona větve","settings.git.commitInstructions.ariaLabel":"Pokyny ke commitu","settings.git.commitInstructions.description":"Přidáno do promptů pro generování zprávy u commitu","settings.git.commitInstructions.label":"Pokyny ke commitu","settings.git.commitInstructions.placeholder":"Přidej pokyny ke zprávě u commitu…","settings.git.commitInstructions.save":"Uložit","settings.git.commitInstructions.save.error":"Pokyny ke commitu se nepodařilo uložit","settings.git.commitInstructions.save.success":"Pokyny ke commitu byly uloženy","settings.git.forcePush.ariaLabel":"Vždy vynucovat uložení změn","settings.git.forcePush.description":"Při ukládání změn z Codexu použij --force-with-lease","settings.git.forcePush.label":"Vždy vynucovat uložení změn","settings.git.forcePush.save.disabled":"Vždy vynucovat uložení změn je zakázáno","settings.git.forcePush.save.enabled":"Vždy vynucovat uložení změn je povoleno","settings.git.forcePush.save.error":"Nastavení vynucování uložení změn se nepodařilo uložit","settings.git.prInstructions.ariaLabel":"Pokyny k pull requestu","settings.git.prInstructions.description":"Přidává se k tělům pull requestů vytvářených Codexem","settings.git.prInstructions.label":"Pokyny k pull requestu","settings.git.prInstructions.placeholder":"Přidat pokyny k pull requestu…","settings.git.prInstructions.save":"Uložit","settings.git.prInstructions.save.error":"Pokyny k pull requestu se nepodařilo uložit","settings.git.prInstructions.save.success":"Pokyny k pull requestu byly uloženy","settings.ide.defaultOpenTarget.description":"Kde se soubory a složky standardně otevírají","settings.ide.defaultOpenTarget.label":"Výchozí cílové umístění otevírání","settings.ide.defaultOpenTarget.placeholder":"Nenalezena žádná cílová umístění","settings.ide.language.auto":"Automatická detekce","settings.ide.language.autoOption":"Automatická detekce","settings.ide.language.description":"Jazyk pro uživatelské rozhraní aplikace","settings.ide.language.label":"Jazyk","settings.ide.language.search":"Vyhledat jazyky","settings.layout.actionButton":"Restartovat rozšíření","settings.layout.actionTitle":"Nastavení s akcí","settings.layout.fullWidthTitle":"Nastavení (plná šířka)","settings.layout.title":"Nastavení","settings.localEnvironments.actions.add":"Přidat akci","settings.localEnvironments.actions.add.description":"Vytvoř nový příkaz, který se má spouštět z panelu nástrojů.","settings.localEnvironments.actions.add.save":"Uložit","settings.localEnvironments.actions.empty":"Přidej akci pro spouštění příkazů z místního panelu nástrojů.","settings.localEnvironments.actions.icon.debug":"Ladění","settings.localEnvironments.actions.icon.run":"Spustit","settings.localEnvironments.actions.icon.test":"Otestovat","settings.localEnvironments.actions.icon.tool":"Nástroj","settings.localEnvironments.actions.item.button.delete":"Odstranit","settings.localEnvironments.actions.item.command":"Skript akce","settings.localEnvironments.actions.item.name":"Jméno","settings.localEnvironments.actions.item.platforms":"Platformy","settings.localEnvironments.actions.item.platforms.help":"Spouštění je možné jen v konkrétním OS.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Výběr platformy","settings.localEnvironments.actions.item.platforms.specific":"Pro konkrétní platformu","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Odstranit","settings.localEnvironments.actions.title":"Akce","settings.localEnvironments.breadcrumb.back":"Zpět","settings.localEnvironments.breadcrumb.edit":"upravit","settings.localEnvironments.breadcrumb.root":"Prostředí","settings.localEnvironments.environment.actions.description":"Tyto akce můžou spustit jakýkoli příkaz a zobrazí se v záhlaví.","settings.localEnvironments.environment.actionsLabel":"Akce","settings.localEnvironments.environment.create":"Vytvořit místní prostředí","settings.localEnvironments.environment.defaultName":"místní","settings.localEnvironments.environment.edit":"Upravit místní prostředí","settings.localEnvironments.environment.empty":"Pro tento projekt není zatím nakonfigurováno žádní místní prostředí.","settings.localEnvironments.environment.name":"Jméno","settings.localEnvironments.environment.setup":"Skript nastavení","settings.localEnvironments.environment.setup.description":"Tento skript se spustí při vytvoření pracovního stromu.","settings.localEnvironments.environment.setup.hint":"Běží v kořenovém adresáři projektu.","settings.localEnvironments.environment.setup.platformOverrides":"Přepsání platformy","settings.localEnvironments.environment.setup.platformOverrides.add":"Přidat skript nastavení pro {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Přepíše výchozí skript pro konkrétní OS.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Odebrat","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Údaje o prostředí","settings.localEnvironments.file.missing":"Uložením tento soubor vytvoříš poprvé.","settings.localEnvironments.file.parseError":"Stávající soubor nelze analyzovat. Uložením dojde k jeho přepsání. ({error})","settings.localEnvironments.file.path":"Soubor: {path}","settings.localEnvironments.file.readError":"Nepodařilo se načíst údaje o prostředí. ({error})","settings.localEnvironments.file.title":"Soubor v místním prostředí","settings.localEnvironments.loading.body":"Načítání konfigurace projektu.","settings.localEnvironments.loading.title":"Načítání místních prostředí","settings.localEnvironments.preview.devOnly":"(pouze vývojáři)","settings.localEnvironments.preview.save":"Uložit","settings.localEnvironments.preview.saveError":"Soubor se nepodařilo uložit. ({error})","settings.localEnvironments.preview.title":"Náhled","settings.localEnvironments.save.disabled.name":"Pro uložení je nutné přidat název proměnné.","settings.localEnvironments.save.disabled.noChanges":"Žádné změny k uložení.","settings.localEnvironments.save.disabled.saving":"Ukládání…","settings.localEnvironments.save.success":"Uložené místní prostředí","settings.localEnvironments.unavailable.body":"Nepodařilo se nám načíst nastavení místního prostředí pro tento projekt.","settings.localEnvironments.unavailable.title":"Místní prostředí nejsou k dispozici","settings.localEnvironments.workspace.add":"Přidat projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Přidat prostředí.","settings.localEnvironments.workspaceSelect.description":"Místní prostředí říkají Codexu, jak nastavit pracovní stromy pro projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Zatím žádné projekty. Pokud chceš nakonfigurovat místní prostředí, přidej pracovní prostor.","settings.localEnvironments.workspaceSelect.errorLabel":"Prostředí vyžaduje pozornost","settings.localEnvironments.workspaceSelect.learnMore":"Další informace","settings.localEnvironments.workspaceSelect.listLabel":"Dostupné projekty","settings.localEnvironments.workspaceSelect.loading":"Načítání projektů.","settings.localEnvironments.workspaceSelect.loadingLabel":"Načítání prostředí","settings.localEnvironments.workspaceSelect.title":"Vyber projekt","settings.localEnvironments.workspaceSelect.viewAction":"Zobrazit","settings.mcp.addServer":"Přidat server","settings.mcp.app.configure":"Konfigurace","settings.mcp.app.connect":"Připojit","settings.mcp.apps.refresh":"Aktualizovat","settings.mcp.detail.addArgument":"Přidat argument","settings.mcp.detail.addEnvVar":"Přidat proměnnou prostředí","settings.mcp.detail.addEnvVarPassthrough":"Přidat proměnnou","settings.mcp.detail.args":"Argumenty","settings.mcp.detail.back":"Zpět","settings.mcp.detail.command":"Příkaz ke spuštění","settings.mcp.detail.cwd":"Pracovní adresář","settings.mcp.detail.docs":"Otevřít dokumentaci MCP","settings.mcp.detail.docs.link":"Dokumenty","settings.mcp.detail.envVarPassthrough":"Předání proměnné prostředí","settings.mcp.detail.envVars":"Proměnné prostředí","settings.mcp.detail.http.addEnvHeader":"Přidat proměnnou","settings.mcp.detail.http.addHeader":"Přidat záhlaví","settings.mcp.detail.http.bearerToken":"Proměnná prostředí tokenu nositele","settings.mcp.detail.http.envHeaders":"Záhlaví z proměnných prostředí","settings.mcp.detail.http.headers":"Záhlaví","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Jméno","settings.mcp.detail.save":"Uložit","settings.mcp.detail.switchTransportNotice":"Pokud chceš změnit typ serveru MCP, nejprve jej odinstaluj.","settings.mcp.detail.titleExisting":"Aktualizace MCP {name}","settings.mcp.detail.titleNew":"Připojení k vlastnímu MCP","settings.mcp.detail.transport.http":"Streamovatelné HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Odinstalovat","settings.mcp.empty":"Nebyly připojeny žádné vlastní servery MCP","settings.mcp.myServers":"Vlastní servery","settings.mcp.partnerServer.description.figma":"Vytvářej lepší kód díky úplnému kontextu Figma","settings.mcp.partnerServer.description.github":"Integrace s API GitHubu pro automatizaci pracovních postupů a extrakci dat","settings.mcp.partnerServer.description.linear":"Integrace se systémem sledování problémů a řízení projektů Linear","settings.mcp.partnerServer.description.notion":"Čtení dokumentů, aktualizace stránek, správa úkolů","settings.mcp.partnerServer.description.playwright":"Integrace automatizace prohlížeče pro implementaci návrhu a testování uživatelského rozhraní.","settings.mcp.partnerServer.install":"Instalovat","settings.mcp.partnerServer.installAndAuthenticate":"Nainstalovat a ověřit","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Spravovat","settings.mcp.partnerServer.vendor":"od autora {vendor}","settings.mcp.recommendedServers":"Doporučené servery","settings.mcp.restartApp":"Restartovat","settings.mcp.restartExtension":"Restartovat rozšíření","settings.mcp.server.enable":"Povolit","settings.mcp.server.login":"Ověřit se","settings.mcp.server.settings":"Nastavení","settings.multiselect.createOption":"Vytvořit „{value}“","settings.multiselect.removeOption":"Odebrat","settings.nav.account":"Účet","settings.nav.agent":"Konfigurace","settings.nav.ariaLabel":"Nastavení","settings.nav.back":"Zpátky k aplikaci","settings.nav.data-controls":"Archivovaná vlákna","settings.nav.environments":"Cloudová prostředí","settings.nav.externalTooltip":"[alfa] Otevře se v prohlížeči","settings.nav.general-settings":"Obecné","settings.nav.git-settings":"Git","settings.nav.local-environments":"Prostředí","settings.nav.mcp-settings":"Servery MCP","settings.nav.notImplemented":"[alfa] Není k dispozici v alfa verzi","settings.nav.personalization":"Přizpůsobení","settings.nav.skills-settings":"Dovednosti","settings.nav.usage-analytics":"Používání a analytika","settings.nav.worktrees":"Pracovní stromy","settings.openSourceLicenses.back":"Zpět","settings.openSourceLicenses.loading":"Načítání...","settings.openSourceLicenses.missing":"Nenašli jsme žádná oznámení třetích stran.","settings.openSourceLicenses.notSupported":"Není k dispozici v tomto hostiteli.","settings.openSourceLicenses.rowDescription":"Oznámení třetích stran pro zahrnuté závislosti","settings.openSourceLicenses.rowLabel":"Licence Open source","settings.openSourceLicenses.subtitle":"Oznámení třetích stran pro závislosti zahrnuté v této aplikaci","settings.openSourceLicenses.title":"Licence Open source","settings.openSourceLicenses.view":"Zobrazit","settings.personalization.agents.description":"Uprav pokyny, které přizpůsobí Codex na míru. {learnMore}","settings.personalization.agents.learnMore":"Další informace","settings.personalization.agents.loadError":"Nelze načíst agents.md.","settings.personalization.agents.loading":"Načítání agents.md…","settings.personalization.agents.placeholder":"Přidej vlastní pokyny…","settings.personalization.agents.retry":"Opakovat","settings.personalization.agents.save":"Uložit","settings.personalization.agents.save.error":"Nelze uložit agents.md","settings.personalization.agents.save.success":"Soubor agents.md byl uložen","settings.personalization.agents.title":"Vlastní pokyny","settings.personalization.personality.description":"Vyber výchozí tón, jakým má Codex odpovídat","settings.personalization.personality.label":"Osobnost","settings.sample.contentBody":"Pomocí tohoto rozložení vytvoříš panely nastavení s jednotnými mezerami.","settings.sample.contentTitle":"Vzorový blok obsahu","settings.section.account":"Účet","settings.section.agent":"Konfigurace","settings.section.data-controls":"Archivovaná vlákna","settings.section.environments":"Cloudová prostředí","settings.section.external":"Otevře se v prohlížeči v alfa verzi","settings.section.general-settings":"Obecné","settings.section.git-settings":"Git","settings.section.local-environments":"Prostředí","settings.section.mcp-settings":"Servery MCP","settings.section.mcp-settings.docs":"Dokumenty","settings.section.mcp-settings.subtitle":"Připojení externích nástrojů a zdrojů dat.","settings.section.personalization":"Přizpůsobení","settings.section.skills-settings":"Dovednosti","settings.section.unavailable":"Není zatím k dispozici v alfa verzi","settings.section.usage-analytics":"Používání a analytika","settings.section.worktrees":"Pracovní stromy","settings.threadDetail.description":"Vyber, kolik z výstupu příkazu se má zobrazovat ve vláknech","settings.threadDetail.label":"Detail vlákna","settings.worktrees.conversation.untitled":"Konverzace bez názvu","settings.worktrees.delete.error":"Pracovní strom se nepodařilo odstranit","settings.worktrees.empty.body":"Tady se zobrazí pracovní stromy vytvořené Codexem.","settings.worktrees.empty.title":"Zatím žádné pracovní stromy","settings.worktrees.error.body":"Při načítání pracovních stromů se něco pokazilo.","settings.worktrees.error.retry":"Opakovat","settings.worktrees.error.title":"Pracovní stromy nelze načíst","settings.worktrees.loading.body":"Načítání údajů o pracovním stromu.","settings.worktrees.loading.title":"Načítání pracovních stromů","settings.worktrees.repository.loading":"Načítání metadat úložiště…","settings.worktrees.repository.unknown":"Neznámé úložiště","settings.worktrees.row.conversations":"Konverzace","settings.worktrees.row.conversations.empty":"Žádné konverzace propojené s tímto pracovním stromem.","settings.worktrees.row.conversations.loading":"Načítání konverzací…","settings.worktrees.row.delete":"Odstranit","settings.worktrees.row.title":"Pracovní strom","sidebarElectron.addWorkspaceRoot":"Přidat nový projekt","sidebarElectron.archiveThread":"Archivovat vlákno","sidebarElectron.archiveThreadError":"Vlákno se nepodařilo archivovat.","sidebarElectron.collapseFolder":"Sbalit složku","sidebarElectron.createStableWorktree.dialog.cancel":"Zrušit","sidebarElectron.createStableWorktree.dialog.create":"Vytvořit","sidebarElectron.debugNavLink":"Ladění","sidebarElectron.editWorkspaceRootOptionName":"Upravit jméno","sidebarElectron.expandFolder":"Rozbalit složku","sidebarElectron.groupByMenu.recency":"Chronologický seznam","sidebarElectron.groupByMenu.title":"Organizovat","sidebarElectron.groupByMenu.workspace":"Podle projektu","sidebarElectron.inboxRouteNavLink":"Automatizace","sidebarElectron.markThreadUnread":"Označit jako nepřečtené","sidebarElectron.missingWorkspaceRoot":"Tato složka projektu byla odstraněna nebo přesunuta","sidebarElectron.newThread":"Nové vlákno","sidebarElectron.newThreadInGroup":"Zahájit nové vlákno ve složce {folder}","sidebarElectron.noRecentThreads":"Žádná nedávná vlákna","sidebarElectron.noTasks":"Žádná vlákna","sidebarElectron.noTasks.start":"Přidat nový projekt","sidebarElectron.noTasksWithFilter":"Filtrům neodpovídají žádná vlákna","sidebarElectron.pinnedThreads":"Připnutá vlákna","sidebarElectron.recentNavLink":"Vlákna","sidebarElectron.recentThreads":"Nedávná vlákna","sidebarElectron.removeWorkspaceRootOption":"Odebrat","sidebarElectron.renameThread":"Přejmenovat vlákno","sidebarElectron.renameThreadDialogAriaLabel":"Název vlákna","sidebarElectron.renameThreadDialogCancel":"Zrušit","sidebarElectron.renameThreadDialogPlaceholder":"Přidat název…","sidebarElectron.renameThreadDialogSave":"Uložit","sidebarElectron.renameThreadDialogSubtitle":"Měl by být krátký a rozpoznatelný.","sidebarElectron.renameThreadDialogTitle":"Přejmenovat vlákno","sidebarElectron.renameThreadError":"Vlákno se nepodařilo přejmenovat","sidebarElectron.renameWorkspaceRootOptionLabel":"Zobrazované jméno","sidebarElectron.showLess":"Zobrazit méně","sidebarElectron.showMenu.all":"Všechna vlákna","sidebarElectron.showMenu.relevant":"Relevantní","sidebarElectron.showMenu.relevantHint":"Zobrazovat jen nedávná vlákna pro aktuální větev, pracovní stromy nebo jiná vlákna, která vyžadují tvoji pozornost","sidebarElectron.showMenu.title":"Zobrazit","sidebarElectron.showMenu.tooltip":"Filtrování, řazení a organizace vláken","sidebarElectron.showMenu.trigger":"Filtrovat vlákna v postranním panelu","sidebarElectron.showMore":"Zobrazit víc","sidebarElectron.skillsRouteNavLink":"Dovednosti","sidebarElectron.sortMenu.created":"Vytvořeno","sidebarElectron.sortMenu.title":"Řadit podle","sidebarElectron.sortMenu.updated":"Aktualizováno","sidebarElectron.taskNavigation":"Složky automatizace","sidebarElectron.tasksInFolder":"Automatizace v {folder}","sidebarElectron.workspaceOptions":"Akce projektu u složky {folder}","sidebarElectron.worktreeGroupTooltip":"Toto je pracovní strom v gitu","skills.appsPage.createSkill":"Nová dovednost","skills.appsPage.empty.skills":"Nebyly nalezeny žádné dovednosti","skills.appsPage.search.skills":"Hledat dovednosti","skills.appsPage.search.skills.label":"Hledat dovednosti","skills.appsPage.section.installedApps":"Nainstalováno","skills.appsPage.section.skills":"Dovednosti","skills.appsPage.subheading":"Dej Codexu superschopnosti.<link>Další informace</link>","skills.appsPage.tab.recommended":"Doporučený","skills.appsPage.tab.skills":"Dovednosti","skills.card.contentsError":"Obsah dovednosti nelze načíst.","skills.card.disable":"Zakázat","skills.card.disableSuccess":"Dovednost {skillName} byla zakázána","skills.card.disabledBadge":"Zakázáno","skills.card.enable":"Povolit","skills.card.enableSuccess":"Dovednost {skillName} byla povolena","skills.card.loadingContents":"Načítání obsahu dovednosti…","skills.card.more":"Víc akcí","skills.card.open":"Počáteční","skills.card.removeFailed":"Dovednost se nepodařilo odinstalovat","skills.card.removeSuccess":"Dovednost {skillName} byla odinstalována","skills.card.toggleEnabledError":"Dovednost se nepodařilo aktualizovat","skills.card.try":"Vyzkoušet","skills.card.trySkill":"Vyzkoušet dovednost","skills.card.uninstall":"Odinstalovat","skills.hero.dotLabel":"Přejít na snímek {index}","skills.hero.next":"Další doporučená dovednost","skills.hero.trySkill":"Vyzkoušet dovednost","skills.page.createSkill":"Nová dovednost","skills.page.empty":"Nebyly nalezeny žádné dovednosti","skills.page.filteredEmpty":"Tvým filtrům neodpovídají žádné dovednosti","skills.page.filteredEmptyDescription":"Zkus upravit vyhledávání nebo filtry rozsahu","skills.page.heading":"Dovednosti","skills.page.loading":"Načítání dovedností…","skills.page.refreshSkills":"Aktualizovat","skills.page.refreshSkillsToUseNew":"Pokud chceš používat nové dovednosti, obnov stránku","skills.page.search":"Hledat dovednosti","skills.page.search.label":"Hledat dovednosti","skills.page.subheading":"Dej Codexu superschopnosti.<link>Další informace</link>","skills.preview.copyPrompt":"Zkopírovat prompt","skills.preview.examplePrompt":"Příklad výzvy","skills.recommended.error":"Doporučené dovednosti nelze načíst","skills.recommended.install":"Instalovat","skills.recommended.installSkill":"Nainstalovat dovednost","skills.recommended.installSuccess":"Dovednost {skillName} byla nainstalována","skills.recommended.installed":"Nainstalováno","skills.scope.admin":"Správce","skills.scope.adminInstalled":"Nainstalováno správcem","skills.scope.builtIn":"Systém","skills.scope.personal":"Osobní","skills.scope.repo":"Úložiště","skills.scope.system":"Systém","skills.scope.team":"Tým","skills.scope.user":"Uživatel","skills.section.installed":"Nainstalováno","skills.section.recommended":"Doporučený","story.slidingToggle.existing":"Existující","story.slidingToggle.fromLocal":"Z místní větve","story.slidingToggle.new":"Nové","story.slidingToggle.toLocal":"Do místní větve","terminal.close":"Zavřít terminál","terminal.title":"Terminál","thinkingShimmer.default":"Přemýšlí","threadEnvIcon.cloudTooltip":"Tato konverzace probíhá v Cloudu Codex.","threadEnvIcon.localTooltip":"Tato konverzace probíhá místně.","threadEnvIcon.worktreeTooltip":"Tato konverzace probíhá v místním pracovním stromu gitu.","threadHeader.archiveConfirmCancel":"Zrušit","threadHeader.archiveConfirmConfirm":"Archivovat","threadHeader.archiveConfirmSubtitle":"Najdeš je později v archivovaných vláknech.","threadHeader.archiveConfirmTitle":"Archivovat vlákno?","threadHeader.copyAppLink":"Zkopírovat zanořený odkaz","threadHeader.copySessionId":"Zkopírovat ID relace","threadHeader.copyWorkingDirectory":"Zkopírovat pracovní adresář","threadHeader.forkIntoLocal":"Vytvořit větev jako místní","threadHeader.forkIntoWorktree":"Vytvořit větev jako nový pracovní strom","threadHeader.forkPendingWorktreePrompt":"Rozvětvit tuto konverzaci do nového pracovního stromu.","threadHeader.forkPendingWorktreeTitle":"Rozvětvená konverzace","threadHeader.forkThreadError":"Vlákno se nepodařilo rozvětvit","threadHeader.forkThreadRequiresGitRepo":"Rozvětvení do nového pracovního stromu vyžaduje úložiště git","threadHeader.moreActions":"Akce u vlákna","threadPage.newThread":"Nové vlákno","threadPage.runAction.changeEnvironment":"Změnit prostředí","threadPage.runAction.dropdown.titleWithEnvironment":"Akce {environmentName}","threadPage.runAction.environmentSelector.label":"Vybrat prostředí","threadPage.runAction.label":"Spustit","threadPage.runAction.missing.label":"Nastavit spouštěcí akci","threadPage.runAction.setup.commandLabel":"Příkaz ke spuštění","threadPage.runAction.setup.description":"Řekni Codexu, jak instalovat závislosti a spouštět tvoji aplikaci.","threadPage.runAction.setup.editMore":"Nastavení prostředí","threadPage.runAction.setup.placeholder":"např.: npm install npm run","threadPage.runAction.setup.submit":"Uložit a spustit","threadPage.runAction.setup.title":"Spustit","threadPage.runAction.tooltip.withEnvironment":"Akce {environmentName}","threadPage.toggleDiffPanel":"Přepnout panel diffu","threadPage.toggleTerminal":"Přepnout terminál","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Otevřít složku","toolSummaryForCmd.exploredFiles":"<verb>Uvedl</verb> soubory","toolSummaryForCmd.exploredFilesInPath":"<verb>Uvedl</verb> soubory v {path}","toolSummaryForCmd.exploringFiles":"<verb>Uvádí</verb> soubory","toolSummaryForCmd.exploringFilesInPath":"<verb>Uvádí</verb> soubory v {path}","toolSummaryForCmd.ranGenericCommand":"<status>Spustil příkaz</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Provedeno</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Přečetl</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Spouští příkaz</status>{timer}","toolSummaryForCmd.runningTimer":"pro {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Vyhledal</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Vyhledal</verb> soubory","toolSummaryForCmd.searchedForInPath":"<verb>Vyhledal</verb> {query} v {path}","toolSummaryForCmd.searchingFor":"<verb>Vyhledává</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Vyhledává</verb> soubory","toolSummaryForCmd.searchingForInPath":"<verb>Vyhledává</verb> {query} v {path}","traceRecording.details.noteLabel":"Co jsi dělal/a, když k tomu došlo? (volitelné)","traceRecording.details.notePlaceholder":"Přešel jsem do velkého vlákna, potom opakovaně přepínal karty…","traceRecording.details.submit":"Odeslat trasování","traceRecording.details.subtitle":"Můžeme odeslat toto trasování profilu a pomoci diagnostikovat problémy s výkonem.","traceRecording.details.title":"Odeslat trasování profilu?","traceRecording.progress.subtitle":"Ponech Codex otevřený, než se to dokončí.","traceRecording.saving.title":"Ukládání trasování…","traceRecording.startDetails.cancel":"Zrušit","traceRecording.startDetails.submit":"OK, spustit nahrávání","traceRecording.startDetails.subtitle":"Po kliknutí na tlačítko OK reprodukuješ problém s výkonem, pak klikni na plovoucí červený indikátor a trasování zastav a zkontroluj.","traceRecording.startDetails.title":"Jak záznam trasování funguje","traceRecording.stopButton.ariaLabel":"Zastavit záznam trasování","traceRecording.upload.successToast":"Trasování profilu bylo odesláno.","traceRecording.uploading.title":"Nahrávání trasování…","wham.diff.addComment":"Přidat komentář","wham.diff.binaryFile":"Binární soubor se nezobrazuje","wham.diff.noContent":"Žádný obsah","wham.fileTag.deleted":"Odstraněno","wham.fileTag.new":"Nové","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} měs","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} t","wham.formattedRelativeDateTime.compactYearsAgo":"{value} r","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Pracuje na tvém úkolu","wham.whamProposedTask.title":"Navržený úkol","wham.whamProposedTask.useSuggestion":"Použít návrh","workspaceRootDialog.addError":"Projekt se nepodařilo přidat","workspaceRootDialog.cancel":"Zrušit","workspaceRootDialog.confirmAdd":"Přidat projekt","workspaceRootDialog.confirmPick":"Použít projekt","workspaceRootDialog.description":"Zadej cestu na hostiteli {host}, kterou chceš používat jako projekt.","workspaceRootDialog.pathLabel":"Cesta k projektu","workspaceRootDialog.pathPlaceholder":"/domu/ty/projekt","workspaceRootDialog.title.add":"Přidat cestu k projektu","workspaceRootDialog.title.pick":"Vyber cestu k projektu","worktreeInitV2.cancel":"Zrušit","worktreeInitV2.notification.failedTitle":"Pracovní strom se nepodařilo nastavit","worktreeInitV2.output.empty":"Čekání na výstup…","worktreeInitV2.status.error":"Pracovní strom se nepodařilo nastavit.","worktreeInitV2.status.running":"Vytváření pracovního stromu a provádění nastavení.","worktreeInitV2.status.runningFork":"Vytváření pracovního stromu pro rozvětvení této konverzace.","worktreeInitV2.status.success":"Pracovní strom je připravený.","worktreeInitV2.title":"Vytváření pracovního stromu","worktreeInitV2.workLocallyInstead":"Pracovat místo toho místně","worktreeRestoreBanner.body":"Pracovní strom tohoto vlákna byl odstraněn, aby se ušetřilo místo na disku","worktreeRestoreBanner.missing.body":"Pracovní adresář tohoto vlákna už neexistuje","worktreeRestoreBanner.missing.title":"Chybí aktuální pracovní adresář","worktreeRestoreBanner.restore.error":"Pracovní strom se nepodařilo obnovit: {message}","worktreeRestoreBanner.restore.success":"Pracovní strom byl obnoven","worktreeRestoreBanner.restoreCta":"Obnovit pracovní strom","worktreeRestoreBanner.title":"Pracovní strom byl vyčištěn"};Object.assign(e,globalThis.codexI18nOverrides?.["cs-CZ"]);export{e as default};
 //# sourceMappingURL=cs-CZ-CJ9pez5J.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopiér","app.sidebar.hide":"Skjul sidebjælke","app.sidebar.show":"Vis sidebjælke","app.sidebar.tooltip":"Skift sidebjælke","appHeader.installUpdate":"Opdater","appSunset.body":"Denne version af appen er ikke længere understøttet. Downloaded den seneste version <here>her</here>.","appSunset.title":"Opdatering er påkrævet","automation.updateDirective.create":"Opret","automation.updateDirective.open":"Åbn","automation.updateDirective.untitled":"Unavngivet automatisering","automation.updateDirective.update":"Opdater","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# forsøg} other {# forsøg}}","cloudTaskRow.archiveError":"Det var ikke muligt at arkivere opgaven","code.diff.requestChange":"Anmod om ændring","code.diffComment.cancel":"Annuller","code.diffComment.comment":"Kommentér","code.diffComment.delete":"Slet","code.diffComment.save":"Gem","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Ingen resultater rapporteret.","codex.alert.closeAriaLabel":"Luk","codex.appUpsellBanner.cbpApi.message":"Byg hurtigere med Codex-appen. Download nu eller {learnMoreLink}.","codex.appUpsellBanner.download":"Download","codex.appUpsellBanner.freeGo.message":"Codex er inkluderet i dit abonnement indtil 2. marts. Prøv Codex-appen til at bygge hurtigere.","codex.appUpsellBanner.later":"Senere","codex.appUpsellBanner.learnMoreLowercase":"se mere","codex.appUpsellBanner.new":"Ny","codex.appUpsellBanner.proPlusBusiness.message":"Prøv Codex-appen med dobbelt så meget forbrug indtil 2. april. Download nu eller {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-app","codex.applyDropdown.header.changes":"Ændringer","codex.applyDropdown.header.fileCount":"{count, plural, one {# fil} other {# filer}}","codex.applyDropdown.header.rows":"rækker","codex.applyDropdown.header.title":"Tilføj ændringer","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fil med konflikter:} other {{count} filer med konflikter:}}","codex.applyDropdown.results.empty":"Der blev ikke kopieret nogen filer","codex.applyDropdown.results.skipped":"{count, plural, one {1 fil blev sprunget over:} other {{count} filer blev sprunget over:}}","codex.applyOrRevertBanner.apply":"Tilføj","codex.applyOrRevertBanner.applyMessage":"Vil du anvende ændringerne, og fortsætte lokalt?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Denne opgave blev lavet i {environment}, så den vil muligvis ikke kunne anvendes rent.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Ændringerne blev foretaget i {environment}, så de vil muligvis ikke kunne anvendes rent.","codex.applyOrRevertBanner.reapply":"Anvend igen","codex.applyOrRevertBanner.revert":"Gendan","codex.applyOrRevertBanner.revertMessage":"Vil du fortryde de anvendte ændringer?","codex.applyResultsDialog.applied":"Anvendt rent ({count})","codex.applyResultsDialog.close":"Luk","codex.applyResultsDialog.conflicted":"Med konflikter ({count})","codex.applyResultsDialog.noDetails":"Ingen tilgængelige filoplysninger.","codex.applyResultsDialog.skipped":"Sprang over ({count})","codex.applyResultsDialog.title":"Anvend resultater","codex.archiveInfo":"Se arkiverede chats i {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrolelementer for data","codex.archiveInfo.electron":"Se arkiverede chats i {settingsLink}","codex.archiveInfo.extension":"Se arkiverede chats i din .codex-mappe.","codex.archiveInfo.settingsLink":"Indstillinger","codex.banner.content.description":"Kør opgaver parallelt, følg fremskridt alle steder, og gennemse pull-anmodninger med AI.","codex.banner.content.headline":"Codex klarer det hele.","codex.cloudTaskRow.archiveTask":"Arkiver opgave","codex.cloudTaskRow.confirmArchiveTask":"Bekræft","codex.command.feedback":"Feedback","codex.command.findInThread":"Find","codex.command.forceReloadSkills":"Gennemtving genindlæsning af færdigheder","codex.command.logOut":"Log ud","codex.command.manageTasks":"Administrer opgaver","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Tilbage","codex.command.navigateForward":"Videresend","codex.command.newThread":"Ny tråd","codex.command.nextThread":"Næste tråd","codex.command.openFolder":"Åbn mappe","codex.command.openSkills":"Gå til færdigheder","codex.command.openThreadOverlay":"Pop up-tråd","codex.command.personalitySettings":"Personlighed","codex.command.previousThread":"Tidligere tråd","codex.command.settings":"Indstillinger","codex.command.toggleDiffPanel":"Skift panel for forskelle","codex.command.toggleSidebar":"Skift sidebjælke","codex.command.toggleTerminal":"Skift terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"Konfigurer","codex.commandGroup.navigation":"Navigation","codex.commandGroup.panels":"Paneler","codex.commandGroup.skills":"Færdigheder","codex.commandGroup.thread":"Tråd","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Ingen matches","codex.commandMenu.searchPlaceholder":"Søg i kommandoer","codex.commandMenu.suggestedGroup":"Foreslået","codex.commandMenu.switchWorkspace":"Skift projekt","codex.commandMenu.title":"Kommandomenu","codex.common.retry":"Prøv igen","codex.composer.searchBranches":"Søg i forgreninger","codex.dialog.basic.body":"Dette er en enkel modal dialog, der bruger vores omslag til Radix Dialog.","codex.dialog.basic.cancel":"Annuller","codex.dialog.basic.confirm":"Bekræft","codex.dialog.basic.open":"Åbn dialog","codex.dialog.basic.title":"Eksempel på dialog","codex.dialog.long.close":"Luk","codex.dialog.long.line":"Linje med rullepanel {index} for at demonstrere langt indhold i dialogen.","codex.dialog.long.open":"Åbn lang dialog","codex.dialog.long.title":"Dialog med langt indhold","codex.dialog.unstyled.body":"Denne story viser, hvordan man kan kontrollere styling af dialogindhold.","codex.dialog.unstyled.open":"Åbn ustylet dialog","codex.dialog.unstyled.title":"Ustylet indhold","codex.diff.openInEditorPrompt.openButton":"Åbn i Editor","codex.diff.openInEditorPrompt.singleLine":"Denne fil er for stor til at blive vist her.","codex.diffView.failedToDecodeBase64Diff":"Kunne ikke afkode base64-diff","codex.diffView.filesChanged":"{fileCount, plural, one {# fil blev ændret} other {# filer blev ændret}}","codex.diffView.imagePreviewAlt":"Forhåndsvisning af billede","codex.diffView.imagePreviewEmpty":"Intet billede","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Ingen diff-data","codex.diffView.pdfPreview.nextPage":"Næste side","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Forrige side","codex.diffView.pdfPreviewEmpty":"Ingen forhåndsvisning af PDF","codex.diffView.pdfPreviewError":"Kunne ikke gengive forhåndsvisning af PDF","codex.diffView.richPreviewDisable":"Deaktivér udvidet forhåndsvisning","codex.diffView.richPreviewEnable":"Aktivér udvidet forhåndsvisning","codex.diffView.richPreviewLoading":"Indlæser forhåndsvisning ...","codex.diffView.richPreviewToggle":"Skift udvidet forhåndsvisning","codex.diffView.switchToUnified":"Skift til unified-diff","codex.environmentSelector.noEnvironment":"Intet miljø","codex.environments.environmentSettings":"Miljøindstillinger","codex.environments.learnMore":"Se mere","codex.environments.listError":"Det var ikke muligt at indlæse miljøerne.","codex.environments.noEnvironmentsFound":"Der blev ikke fundet nogen miljøer","codex.environments.searchError":"Det var ikke muligt at søge i miljøer.","codex.errorBoundary.genericError":"Hov, der opstod en fejl","codex.errorBoundary.goHome":"Prøv igen","codex.file.patch.missing":"Kunne ikke lave rettelse for denne fil.","codex.gallery.automations.cwdLabel":"Projekter","codex.gallery.automations.nameLabel":"Navn","codex.gallery.automations.namePlaceholder":"Opsummer en opgave","codex.gallery.automations.promptLabel":"Forespørgsel","codex.gallery.automations.promptPlaceholder":"Beskriv, hvad Codex skal gøre","codex.gallery.dialogs.automation.label":"Automatiseringsdialog","codex.gallery.dialogs.basic.body":"Brug dette layout til almindelige bekræftelser eller korte formularer.","codex.gallery.dialogs.basic.cancel":"Annuller","codex.gallery.dialogs.basic.confirm":"Bekræft","codex.gallery.dialogs.basic.label":"Basal dialog","codex.gallery.dialogs.basic.title":"Dialogeksempel","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Beskriv problemet","codex.gallery.dialogs.feedbackSubmission.bad":"Dårligt resultat","codex.gallery.dialogs.feedbackSubmission.bug":"Fejl","codex.gallery.dialogs.feedbackSubmission.good":"Godt resultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Medtag aktuelle logfiler for Codex-session","codex.gallery.dialogs.feedbackSubmission.label":"Indsendelse af feedback","codex.gallery.dialogs.feedbackSubmission.other":"Andet","codex.gallery.dialogs.feedbackSubmission.placeholder":"Beskriv problemet her","codex.gallery.dialogs.feedbackSubmission.submit":"Indsend","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback blev uploadet. Hvis problemet fortsætter, skal du åbne et GitHub-problem eller nævne et tråd-ID i et eksisterende, åbent problem:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Afvis","codex.gallery.dialogs.feedbackSuccess.label":"Feedback blev modtaget","codex.gallery.dialogs.feedbackSuccess.title":"Feedback blev uploadet","codex.gallery.dialogs.gitApplyResults.applied":"Anvendt rent (2)","codex.gallery.dialogs.gitApplyResults.close":"Luk","codex.gallery.dialogs.gitApplyResults.conflicted":"Konflikt: (1)","codex.gallery.dialogs.gitApplyResults.label":"Anvend resultater","codex.gallery.dialogs.gitApplyResults.title":"Anvend resultater","codex.gallery.dialogs.gitPushError.body":"Træk de seneste ændringer, eller gennemtving push, hvis du ved, at den eksterne historik er sikker at overskrive.","codex.gallery.dialogs.gitPushError.cancel":"Annuller","codex.gallery.dialogs.gitPushError.force":"Gennemtving push","codex.gallery.dialogs.gitPushError.label":"Push-fejl","codex.gallery.dialogs.gitPushError.subtitle":"Din branch er bagud i forhold til oprindelig/primær.","codex.gallery.dialogs.gitPushError.title":"Det var ikke muligt at pushe ændringer","codex.gallery.dialogs.gitRevert.cancel":"Annuller","codex.gallery.dialogs.gitRevert.confirm":"Gendan","codex.gallery.dialogs.gitRevert.label":"Omgør ændringer","codex.gallery.dialogs.gitRevert.skip":"Spørg ikke igen","codex.gallery.dialogs.gitRevert.subtitle":"Denne handling fjerner alle disse ændringer.","codex.gallery.dialogs.gitRevert.title":"Vil du omgøre ændringerne?","codex.gallery.dialogs.longForm.label":"Lang dialog","codex.gallery.dialogs.proseModal.body":"Denne modalstil bruges til længere instruktioner, onboarding eller udvidede indholdsblokke.","codex.gallery.dialogs.proseModal.close":"Luk","codex.gallery.dialogs.proseModal.subtitle":"Del vejledning til længere formularer eller dokumentation her","codex.gallery.dialogs.proseModal.title":"Tekstmodal","codex.gallery.dialogs.submitBlocked.label":"Indsendelse blev blokeret","codex.gallery.dialogs.submitBlocked.message":"Din besked kunne ikke sendes, fordi projektet ikke er tilgængeligt.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Det var ikke muligt at sende beskeden","codex.gallery.dialogs.title":"Dialoger","codex.gallery.dropdown.filterPlaceholder":"Filtrer elementer","codex.gallery.dropdowns.actionRow":"Handlingsrækker","codex.gallery.dropdowns.actionRow.disabled":"Deaktiveret handling","codex.gallery.dropdowns.actionRow.primary":"Primær handling","codex.gallery.dropdowns.actionRow.secondary":"Sekundær handling","codex.gallery.dropdowns.actionRow.trigger":"Vis handlinger","codex.gallery.dropdowns.basic":"Enkel rullemenu","codex.gallery.dropdowns.basic.newFile":"Ny fil","codex.gallery.dropdowns.basic.newFolder":"Ny mappe","codex.gallery.dropdowns.basic.openSettings":"Åbn indstillinger","codex.gallery.dropdowns.basic.title":"Hurtigere handlinger","codex.gallery.dropdowns.basic.trigger":"Åbn menu","codex.gallery.dropdowns.basic.upload":"Upload","codex.gallery.dropdowns.panel":"Paneloverflade","codex.gallery.dropdowns.panel.apply":"Anvend","codex.gallery.dropdowns.panel.body":"Gennemgå diffs, og anvend i dit projekt.","codex.gallery.dropdowns.panel.preview":"Forhåndsvisning","codex.gallery.dropdowns.panel.title":"Tilføj ændringer","codex.gallery.dropdowns.panel.trigger":"Åbn panel","codex.gallery.dropdowns.search":"Søgbar rullemenu","codex.gallery.dropdowns.search.first":"Alpha-kanal","codex.gallery.dropdowns.search.second":"Beta-branch","codex.gallery.dropdowns.search.third":"Lancer kandidat","codex.gallery.dropdowns.search.trigger":"Filtrer elementer","codex.gallery.dropdowns.submenu":"Rullemenu med undermenu","codex.gallery.dropdowns.submenu.optionA":"Projekt alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Tildel ejer","codex.gallery.dropdowns.submenu.secondary":"Flyt til","codex.gallery.dropdowns.submenu.tertiary":"Arkivér","codex.gallery.dropdowns.submenu.trigger":"Vælg handling","codex.gallery.dropdowns.title":"Rullemenuer","codex.gallery.inbox.automations.close":"Luk","codex.gallery.inbox.automations.popover.cardTitle":"Administrer automatiseringer","codex.gallery.inbox.automations.popover.dialogTitle":"Administrer automatiseringer","codex.header.settingsTooltip":"Indstillinger","codex.hunk.patch.error":"Kunne ikke markere","codex.hunk.patch.missing":"Kunne ikke lave rettelse for denne hunk.","codex.hunk.patch.partialSuccess":"Delvis succes","codex.hunk.patch.revertError":"Kunne ikke fjerne","codex.hunk.patch.revertSuccess":"Fjernelse blev gennemført","codex.hunk.patch.success":"Markering blev gennemført","codex.legal.autonomy.details":"Se flere oplysninger i {link}","codex.legal.autonomy.details.link":"Codex-dokumenter","codex.legal.autonomy.title":"Beslut, hvor meget autonomi du vil tildele","codex.legal.backButton":"Tilbage","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt.","codex.legal.cloud.taskOne.title":"Forklar lagringssted til en ny designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8. okt.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Skab et mørkt tema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ret en fejl ved onboarding","codex.legal.continue.apikey":"Fortsæt","codex.legal.continueButton":"Næste","codex.legal.copilot.details":"Bruger dit Cockpit-abonnement til alle modelkald, fakturering og grænser. Brug af Codex-udvidelse er underlagt såvel {oaiTos} som {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Tjenestevilkår for GitHub","codex.legal.copilot.oaiTosLink":"Tjenestevilkår for OpenAI Codex","codex.legal.copilot.title":"Drevet af GitHub Copilot","codex.legal.mistakes.review":"Gennemse koden, den skriver, og kommandoerne, den kører","codex.legal.mistakes.title":"Codex kan lave fejl","codex.legal.powered.details":"Brug dit abonnements forbrugsgrænser og {link}","codex.legal.powered.details.link":"indstillinger for træningsdata","codex.legal.powered.title":"Drevet af din ChatGPT-konto.","codex.legal.step.cloud.subtitle":"Send opgaver til Codex, der kan køre i baggrunden, så du kan holde fokus og arbejde hurtigere.","codex.legal.step.cloud.title":"Overgiv til Codex i skyen","codex.legal.step.intro.subtitle":"Codex navigerer, redigerer, kører kommandoer og udfører test direkte på dit lagringssted. Drevet af din ChatGPT-konto.","codex.legal.step.intro.title":"Codex i dit IDE","codex.legal.step.todo.subtitle":"Skriv en TODO-kommentar, og konverter den til en Codex-opgave med et enkelt klik.","codex.legal.step.todo.title":"Lav TODO’er om til Codex-opgaver","codex.legal.todo.heading":"// TODO: implementér skema","codex.localConversation.closeImagePreview":"Luk forhåndsvisning af billede","codex.localConversation.userImageAttachment":"Billede vedhæftet af bruger","codex.localTaskRow.archiveTask":"Arkiver tråd","codex.localTaskRow.awaitingApproval":"Afventer godkendelse","codex.localTaskRow.awaitingResponse":"Afventer svar","codex.localTaskRow.confirmArchiveTask":"Bekræft","codex.loggedOut.apiKeyPrompt.cancel":"Annuller","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Hent API-nøgle","codex.loggedOut.apiKeyPrompt.inputLabel":"Indtast din OpenAI API-nøgle","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloud-opgaver deaktiveret med API-nøgle","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloud-opgaver deaktiveret med Copilot og API-nøgle","codex.loggedOut.signIn":"Log ind med ChatGPT","codex.loggedOut.signIn.cancel":"Annuller login","codex.loggedOut.signInWithCopilot":"Log ind med GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Brug API-nøgle","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP{tool}-værktøj","codex.mcpTool.collapsedLabel.verb.called":"Hentede","codex.mcpTool.collapsedLabel.verb.calling":"Henter","codex.mcpTool.embeddedResource.contentLabel":"Indhold","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-type","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Værktøjet returnerede intet indhold","codex.mcpTool.rawPayloadHeading":"Rå payload for {server} {tool}-værktøjskald","codex.menu.recent":"Seneste","codex.menu.seeAllHistory":"Se hele historikken","codex.modelCapacityBanner.headline.noReset":"{modelName} er ved kapacitetsgrænsen lige nu. Prøv igen senere, eller start en ny samtale med en anden model.","codex.modelCapacityBanner.headline.withReset":"{modelName} er ved kapacitetsgrænsen lige nu. Prøv igen efter {resetDate}, eller start en ny samtale med en anden model.","codex.modelCapacityBanner.title":"Den valgte model er ved kapacitetsgrænsen","codex.patch.change.contentsDeleted":"Indholdet blev slettet","codex.patch.change.created":"Oprettet","codex.patch.change.created-file":"Oprettede fil","codex.patch.change.creating":"Opretter","codex.patch.change.deleted":"Slettet","codex.patch.change.deleted-file":"Slettede fil","codex.patch.change.deleting":"Sletter","codex.patch.change.edited":"Redigeret","codex.patch.change.edited-file":"Redigeret fil","codex.patch.change.editing":"Redigerer","codex.patch.change.noChanges":"Ingen ændringer","codex.patch.change.rejected-add":"Afvist","codex.patch.change.rejected-delete":"Afvist","codex.patch.change.rejected-edit":"Afvist","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} ud af {total} opgaver fuldført","codex.plan.todoListCreated":"Opgaveliste oprettet med {total} opgaver","codex.profileDropdown.apiKeyAuth":"Logget ind med API-nøgle","codex.profileDropdown.codexSettings":"Indstillinger for Codex","codex.profileDropdown.copilotAuth":"Logget ind med Copilot","codex.profileDropdown.defaultAccountTitle":"Standardkonto","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter for at sende lange forespørgsler","codex.profileDropdown.enterBehaviorError":"Det var ikke muligt at opdatere indstillingen","codex.profileDropdown.getPlus":"Opgrader for højere grænseværdier","codex.profileDropdown.keyboardShortcuts":"Genveje på tastaturet","codex.profileDropdown.language":"Sprog","codex.profileDropdown.languageDefault":"Genkend automatisk","codex.profileDropdown.languageSearchPlaceholder":"Søg i sprog","codex.profileDropdown.languageUpdateError":"Kunne ikke opdatere sprog","codex.profileDropdown.logOut":"Log ud","codex.profileDropdown.mcp":"MCP-indstillinger","codex.profileDropdown.openConfigToml":"Åbn config.toml","codex.profileDropdown.openConfigToml.wsl":"Åbn config.toml i WSL-miljø","codex.profileDropdown.openExtensionSettings":"Åbn indstillinger","codex.profileDropdown.openMcpSettings":"Åbn MCP-indstillinger","codex.profileDropdown.openOnStartup":"Åbn ved start","codex.profileDropdown.openOnStartupError":"Det var ikke muligt at opdatere indstillingen","codex.profileDropdown.openSkillsSettings":"Åbn indstillinger for færdigheder","codex.profileDropdown.personalAccountTitle":"Personlig konto","codex.profileDropdown.queueFollowUps":"Sæt opfølgninger i kø","codex.profileDropdown.queueFollowUpsError":"Det var ikke muligt at opdatere indstillingen","codex.profileDropdown.readDocs":"Læs dokumenter","codex.profileDropdown.readSkillsDocs":"Læs dokumenter","codex.profileDropdown.runInWsl":"Kør i WSL","codex.profileDropdown.runInWslError":"Det var ikke muligt at opdatere indstillingen","codex.profileDropdown.runInWslTooltip":"Kører Codex i WSL. Anbefales for bedre sandkassesikkerhed og bedre ydelse.","codex.profileDropdown.settings":"IDE-indstillinger","codex.profileDropdown.settingsPage":"Indstillinger","codex.profileDropdown.signInWithOpenAI":"Log ind med ChatGPT","codex.profileDropdown.skills":"Indstillinger for færdigheder","codex.profileDropdown.switchToCopilotAccount":"Brug Copilot-konto","codex.profileDropdown.switchToOpenAIAccount":"Brug OpenAI-konto","codex.profileDropdown.todoCodelens":"Ret TODO-kommentarer","codex.profileDropdown.todoCodelensError":"Det var ikke muligt at opdatere indstillingen","codex.profileDropdown.windowsDocumentation":"Windows-dokumentation","codex.profileFooter.signedInFallback":"Indstillinger","codex.profileFooter.upgrade":"Opgrader","codex.recentTasksMenu.clearSearch":"Ryd søgning","codex.recentTasksMenu.cloud":"Opgaver i skyen","codex.recentTasksMenu.count":"{count, plural, =0 {Ingen opgaver i gang} one {# opgave i gang} other {# opgaver i gang}}","codex.recentTasksMenu.empty":"Endnu ingen tråde","codex.recentTasksMenu.errorCloud":"Opgaverne kunne ikke indlæses.","codex.recentTasksMenu.errorCloud.inline":"Cloud-opgaverne kunne ikke indlæses.","codex.recentTasksMenu.filterAll":"Alle","codex.recentTasksMenu.filterCloudTasks":"Filtrer cloud-opgaver","codex.recentTasksMenu.filterTooltip":"Filtrer opgaver efter miljø","codex.recentTasksMenu.local":"Lokale opgaver","codex.recentTasksMenu.recent":"Alle opgaver","codex.recentTasksMenu.search":"Søg i seneste opgaver","codex.recentTasksMenu.searchEmpty":"Intet resultat","codex.recentTasksMenu.tooltip":"Opgavehistorik","codex.recentTasksMenu.trigger":"Seneste opgaver. {count, plural, one {# i gang} other {# i gang}}","codex.remoteConversation.applyDiff.applyCta":"Tilføj ændringer","codex.remoteConversation.applyDiff.dropdownTitle":"Føj ændringer til en lokal forgrening","codex.remoteConversation.applyDiff.revertCta":"Omgør ændringer","codex.remoteConversation.closeImagePreview":"Luk forhåndsvisning af billede","codex.remoteConversation.codexCloudTask":"Du kigger på en <u>Codex cloud</u>-opgave","codex.remoteConversation.errorWithMessage":"Fejl: {message}","codex.remoteConversation.loadingImage":"Indlæser billede","codex.remoteConversation.openInWeb":"Åbn i web","codex.remoteConversation.streaming":"Sådan kommer du i gang","codex.remoteConversation.turnFailed":"Der opstod en fejl under denne opgave","codex.remoteConversation.turnTab.loading":"Forsøg {number}","codex.remoteConversation.turnTab.title":"Forsøg {number}","codex.remoteConversation.userImageAttachment":"Billede vedhæftet af bruger","codex.remoteConversation.viewPreviousTurns":"Åbn i web","codex.remoteConversation.viewPreviousTurns.buttonText":"Åbn","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Åbn i web","codex.review.copyGitApplyCommand":"Kopiér git-tilføjelseskommando","codex.review.copyGitApplyCommand.toast":"Git-tilføjelseskommando blev kopieret til udklipsholder","codex.review.diffTooLarge.description":"Denne diff er for stor til at vises i Gennemgå.","codex.review.diffTooLarge.title":"Diff er for stor til at blive vist","codex.review.expandOrCollapseDiffButton.collapse":"Skjul alle forskelle","codex.review.expandOrCollapseDiffButton.expand":"Udvid alle forskelle","codex.review.expandOrCollapseDiffMenu.collapse":"Skjul alle forskelle","codex.review.expandOrCollapseDiffMenu.expand":"Vis alle forskelle","codex.review.fileSearch.clear":"Ryd filfilter","codex.review.fileSearch.empty":"Der er ingen filer, der matcher det aktuelle filter.","codex.review.fileSearch.label":"Filtrér filer","codex.review.fileSearch.placeholder":"Filtrér filer ...","codex.review.filesChanged":"{num, plural, =0 {Ingen filer blev ændret} one {# fil blev ændret} other {# filer blev ændret}}","codex.review.find.loadMore":"Indlæs flere matches","codex.review.fullReview.hideFileTree":"Skjul filtræ","codex.review.fullReview.showFileTree":"Vis filtræ","codex.review.header.moreOptions":"Gennemgå muligheder","codex.review.largeDiff.banner":"Stor forskel registreret – viser én fil ad gangen.","codex.review.loadFullFiles.disable":"Indlæs ikke hele filer","codex.review.loadFullFiles.enable":"Indlæs hele filer","codex.review.noDiff":"Filændringer vises her","codex.review.noDiff.gitInit.createRepository":"Opret et Git-lagringssted (repo)","codex.review.noDiff.gitInit.creating":"Opretter ...","codex.review.noDiff.gitInit.error":"Git-init mislykkedes: {message}","codex.review.noDiff.gitInit.success":"Git-lagringssted blev oprettet","codex.review.noDiff.gitRepoRequired.description":"Følg og omgør ændringer i dette projekt","codex.review.noDiff.gitRepoRequired.title":"Opret et Git-lagringssted","codex.review.noDiff.orNoLongerAvailable":"eller de seneste forskelle er ikke længere tilgængelige","codex.review.noDiff.reverted":"Den seneste runde er blevet nulstillet","codex.review.noDiff.revertedOrCommitted":"Den seneste runde er enten blevet nulstillet eller indsendt","codex.review.refreshGitQueries":"Genindlæs","codex.review.revert.file.error":"Det var ikke muligt at gendanne {path}","codex.review.revert.file.partialSuccess":"Gendannede delvist {path}","codex.review.revert.file.success":"Gendannede {path}","codex.review.revert.hunk.error":"Kunne ikke gendanne hunk {hunkNumber} i {path}","codex.review.revert.hunk.partialSuccess":"Gendannede delvist hunk {hunkNumber} i {path}","codex.review.revert.hunk.success":"Gendannede hunk {hunkNumber} i {path}","codex.review.revert.section.error":"Kunne ikke gendanne sektion","codex.review.revert.section.partialSuccess":"Sektionen blev delvist gendannet","codex.review.revert.section.success":"Sektionen blev gendannet","codex.review.revertDialog.cancel":"Annuller","codex.review.revertDialog.confirm":"Bekræft","codex.review.revertDialog.message":"Denne handling fjerner alle disse ændringer.","codex.review.revertDialog.skip":"Spørg ikke igen","codex.review.revertDialog.title":"Vil du omgøre ændringerne?","codex.review.richPreview.disable":"Deaktivér udvidet forhåndsvisning","codex.review.richPreview.enable":"Aktivér udvidet forhåndsvisning","codex.review.source.cloud":"Cloud-ændringer","codex.review.source.local.all":"Alle forgreningsændringer","codex.review.source.local.lastTurn":"Seneste ændringer","codex.review.source.local.uncommitted":"Ikkegennemførte ændringer","codex.review.source.worktree":"Ikke-indsendte ændringer i arbejdstræet","codex.review.stageFilter.empty.staged.description":"Accepter ændringer for at markere dem","codex.review.stageFilter.empty.staged.title":"Ingen markerede ændringer","codex.review.stageFilter.empty.unstaged.description":"Kodeændringer vises her","codex.review.stageFilter.empty.unstaged.title":"Ingen umarkerede ændringer","codex.review.stageFilter.staged":"Markeret","codex.review.stageFilter.staged.count":"Markeret · {count}","codex.review.stageFilter.unstaged":"Fjernet","codex.review.stageFilter.unstaged.count":"Fjernet · {count}","codex.review.switchToSplit":"Skift til opdelt forskel","codex.review.switchToUnified":"Skift til unified-diff","codex.review.toggleDiffView":"Skift visning af forskelle","codex.review.wordDiffs.disable":"Deaktivér ord-diffs","codex.review.wordDiffs.enable":"Aktivér ord-diffs","codex.review.wrap.disable":"Deaktivér ordombrydning","codex.review.wrap.enable":"Aktivér ordombrydning","codex.section.patch.missing":"Det var ikke muligt at lave en rettelse til denne sektion.","codex.shell.collapse":"Skjul shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Shell-indhold kopieret","codex.shell.copy.copyTooltip":"Kopiér shell-indhold","codex.shell.copyCommand":"Kopiér kommando","codex.shell.copyOutput":"Kopiér output","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Udvid shell","codex.shell.name":"Shell","codex.shell.noOutput":"Intet output","codex.signInFailed.message":"Kunne ikke logge ind: {rawMessage}","codex.stories.toast.show":"Vis toast","codex.stories.tooltip.basic":"Dette er et værktøjstip","codex.stories.tooltip.hoverMe":"Før markøren over mig","codex.stories.tooltip.largerOffset":"Dette værktøjstip har en større forskydning","codex.stories.tooltip.offsetButton":"Større forskydning","codex.stories.tooltip.shortcutButton":"Med genvej","codex.stories.tooltip.withShortcut":"Skift terminal","codex.taskRow.title":"Ny tråd","codex.taskRowLayout.confirm":"Bekræft","codex.threadFindBar.chatFilter":"Søg i chats","codex.threadFindBar.close":"Luk resultat","codex.threadFindBar.diffFilter":"Søg i diffs","codex.threadFindBar.label":"Find i tråd","codex.threadFindBar.nextResult":"Næste resultat","codex.threadFindBar.noResults":"0 resultater","codex.threadFindBar.placeholder":"Søg i tråd ...","codex.threadFindBar.placeholder.extension":"Søg i tråd ...","codex.threadFindBar.placeholder.review":"Søg i diff ...","codex.threadFindBar.placeholder.review.extension":"Søg i diff ...","codex.threadFindBar.previousResult":"Forrige resultat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fil blev ændret} other {# filer blev ændret}}","codex.unifiedDiff.inlineLargeFile":"For stor til at gengive indlejret","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Fortryd","codex.unifiedDiff.revertPatchError":"Det var ikke muligt at omgøre ændringerne","codex.unifiedDiff.revertPatchSuccess":"Ændringerne er blevet ført tilbage","codex.unifiedDiff.reviewChangesSuffix":"ændringer","codex.unifiedDiff.reviewShort":"Gennemgå","codex.unifiedDiff.viewDiffTooltip":"Gennemgå","codex.upsellBanner.business.headline":"For at få mere adgang nu, skal du sende en anmodning til din administrator eller vente til {resetDate}","codex.upsellBanner.cbp.headline":"For at få mere adgang nu, skal du sende en anmodning til din administrator.","codex.upsellBanner.cta.addCredits":"Tilføj kreditter","codex.upsellBanner.cta.upgradeAccount":"Opgrader","codex.upsellBanner.cta.viewUsage":"Se brug","codex.upsellBanner.freeOrGo.headline":"Din grænse bliver nulstillet {resetDate}. For fortsat at bruge Codex, skal du opgradere til Plus i dag.","codex.upsellBanner.general.headline":"Din grænse bliver nulstillet {resetDate}.","codex.upsellBanner.general.title":"Du har ikke flere Codex-beskeder","codex.upsellBanner.plus.headline":"Din grænse bliver nulstillet {resetDate}. For fortsat at bruge Codex, skal du tilføje kreditter eller opgradere til Pro i dag.","codex.upsellBanner.pro.headline":"Din grænse bliver nulstillet {resetDate}. Tilføj kreditter for fortsat at bruge Codex nu.","codex.userMessage.autoResolveSync":"Automatisk konfliktløsning","codex.userMessage.commentCount":"{count, plural, one {# kommentar} other {# kommentarer}}","codex.userMessage.copiedAriaLabel":"Kopieret","codex.userMessage.copiedTooltip":"Kopieret","codex.userMessage.copyAriaLabel":"Kopiér besked","codex.userMessage.copyTooltip":"Kopiér","codex.userMessage.implementPlan":"Implementér plan","codex.userMessage.noContent":"(Intet indhold)","codex.userMessage.priorConversation":"Refererer til tidligere samtale","codex.userMessage.reviewMode":"Gennemsynstilstand","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"til {query}","codex.webSearch.summary.verb.completed":"Søgte på internettet","codex.webSearch.summary.verb.inProgress":"Søger på internettet","codex.windowsInstallWslBanner.dismiss":"Afvis","codex.windowsInstallWslBanner.installWslCta":"Aktivér Sandbox","codex.windowsInstallWslBanner.learnMore":"Se mere","codex.windowsSandboxBanner.content":"Agenttilstand bruger en eksperimentel Sandbox i Windows til at begrænse filsystem- og netværksadgang. {sandboxLink}","codex.windowsSandboxBanner.title":"Aktivér Sandbox for agenttilstand","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-indstillinger","codexUpgradeModal.body":"Codex drives nu af GPT-5.2-Codex, vores nyeste banebrydende agentbaserede kodningsmodel. Til kodning er den {link}, og en yderligere forbedring af GPT-5.2.","codexUpgradeModal.close":"Luk","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"hurtigere og mere intelligent","codexUpgradeModal.title":"Codex er lige blevet opgraderet","codexUpgradeModal.tryNewModel":"Prøv GPT-5.2-Codex nu","codexUpgradeModal.useExistingModel":"Fortsæt med nuværende model","commentAttachments.numComments":"{count, plural, one {# kommentar} other {# kommentarer}}","commentAttachments.removeAriaLabel":"Fjern vedhæftede kommentarer","common.close":"Luk","composer.addContext.openFilePickerError":"Det var ikke muligt at åbne filvælger","composer.addContextDropdown.ariaLabel":"Tilføj filer og mere","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Tilføj filer og mere","composer.addPhotosAndFiles":"Tilføj billeder og filer","composer.atMentionList.emptyQuery":"Indtast for at søge efter filer","composer.atMentionList.loading":"Søger ...","composer.atMentionList.noResults":"Ingen resultater","composer.attemptsSelector.option":"{count, plural, one {# version} other {# versioner}}","composer.attemptsSelector.tooltip":"Antal parallelle forsøg som Codex skal gøre","composer.attemptsSelector.trigger":"{count} x","composer.backgroundTerminals.stop":"Stop","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokal","composer.cloudFollowUp.whereRun":"Hvor skal denne opfølgning køre?","composer.cloudTaskCreationError":"Der opstod en fejl under forsøget på at oprette cloud-opgaven","composer.cloudTaskError":"Der opstod en fejl under forsøget på at oprette opgaven","composer.contextWindow.autoCompactionTooltipLine1":"Codex komprimerer automatisk sin kontekst","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontekstvindue:","composer.contextWindowUsageStatusFull":"{usage} % fuld","composer.contextWindowUsageStatusLeft":"{usage} % brugt ({remaining} % tilbage)","composer.contextWindowUsageTooltip":"{usedTokens}k/{contextWindow}k tokens brugt","composer.customCliTooltip":"Bruger en tilpasset eksekverbar CLI-fil","composer.dictation.aria":"Dikter","composer.dictation.cancel.aria":"Stop diktering","composer.dictation.cancel.tooltip":"Stop diktering","composer.dictation.startError":"Det var ikke muligt at starte diktering","composer.dictation.submit.aria":"Transskriber og send","composer.dictation.submit.tooltip":"Transskriber og send","composer.dictation.tooltip":"Hold for at diktere","composer.dictation.transcribeError":"Det var ikke muligt at transskribere lyd","composer.dictation.unsupported":"Diktering er ikke tilgængelig på denne enhed","composer.dropOverlay.holdShift":"Hold på {key} for at slippe","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Opret ny","composer.environmentSelector.error":"Der opstod en fejl under indlæsningen af miljøer","composer.environmentSelector.goBack":"Tilbage til skrivefelt","composer.environmentSelector.title":"Vælg miljø","composer.environmentSelector.tooltip":"Vælg et cloud-miljø","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Vælg en fil","composer.filePicker.selectFiles":"Vælg filer","composer.followerTooltip":"Vend tilbage til det vindue, hvor denne samtale begyndte, for at fortsætte.","composer.footer.branchSwitch.checkoutError":"Det var ikke muligt at skifte branch: {message}","composer.footer.branchSwitch.createAndCheckout":"Opret og udtjek ny branch ...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Indsæt ændringer for at oprette og udtjekke en ny branch","composer.footer.branchSwitch.createBranchError":"Kunne ikke oprette branch: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Navn på branch","composer.footer.branchSwitch.createDialog.branchExistsError":"Branchen findes allerede.","composer.footer.branchSwitch.createDialog.close":"Luk","composer.footer.branchSwitch.createDialog.createAndCheckout":"Opret og tjek ud","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Opret og udtjek ny branch","composer.footer.branchSwitch.createDialog.trailingSlashError":"Branch-navnet må ikke slutte på ”/”.","composer.footer.branchSwitch.tooltip":"Skift branch","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Commit ændringer i {fileCount, plural, one {# fil} other {# filer}} for at tjekke {branchName} ud.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Indsæt","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"ændringer i {fileCount, plural, one {# fil} other {# filer}} for at tjekke {branchName} ud.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Annuller","composer.footer.branchSwitch.uncommittedDialog.commit":"Commit og skift branch ...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Dine ændringer af følgende filer vil blive overskrevet ved udtjekning:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Commit dine ændringer for at fortsætte","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"den valgte branch","composer.footer.branchSwitch.uncommittedDialog.title":"Commit ændringer for at skifte branch","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Ikke indsat: {fileCount, plural, one {# fil} other {# filer}}","composer.forkSlashCommand.description":"Fordel denne tråd til et lokalt eller nyt arbejdstræ","composer.forkSlashCommand.option.local.description":"Fortsæt i en ny, lokal tråd","composer.forkSlashCommand.option.local.title":"Fordel lokalt","composer.forkSlashCommand.option.worktree.description":"Fortsæt i nyt arbejdstræ","composer.forkSlashCommand.option.worktree.title":"Fordel i nyt arbejdstræ","composer.forkSlashCommand.title":"Pitch","composer.imageInputsUnsupported":"Denne model understøtter ikke billedinput. Prøv en anden model.","composer.imageUploadFailed":"Billedet kunne ikke uploades","composer.includeIdeContextDropdown":"Inkluder IDE-kontekst","composer.includeIdeContextDropdown.ariaLabel":"Inkluder IDE-kontekst","composer.localCwdDropdown.addWorkspaceRoot":"Tilføj nyt projekt","composer.localCwdDropdown.noActiveRoot":"Vælg dit projekt","composer.localCwdDropdown.noResults":"Der blev ikke fundet nogen mapper","composer.localCwdDropdown.title":"Vælg dit projekt","composer.localTaskError":"Der opstod en fejl under forsøget på at starte samtalen","composer.mcpSlashCommand.description":"Vis MCP-serverstatus","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Ikke godkendt","composer.mcpStatus.authOauth":"Godkendt (OAuth)","composer.mcpStatus.authToken":"Godkendt (API-nøgle)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Luk","composer.mcpStatus.disabled":"Deaktiveret","composer.mcpStatus.emptyLabel":"Servere:","composer.mcpStatus.emptyValue":"Ingen konfigurerede MCP-servere","composer.mcpStatus.enabled":"Aktiveret","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Det var ikke muligt at indlæse MCP-status","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Skift tilstand","composer.mode.agentMode.custom":"Tilpasset","composer.mode.agentMode.custom.dropdownLabel":"Tilpasset","composer.mode.agentMode.custom.option":"Tilpasset (config.toml)","composer.mode.agentMode.custom.optionLabel":"Tilpasset (config.toml)","composer.mode.agentMode.customInfo.cancel":"Annuller","composer.mode.agentMode.customInfo.cli":"Du kan justere disse indstillinger fra CLI-grænsefladen eller ved at redigere filen direkte.","composer.mode.agentMode.customInfo.confirm":"Brug tilpasset tilstand","composer.mode.agentMode.customInfo.description":"Tilpasset tilstand gælder for godkendelses- og  Sandbox-politikker defineret i din <link>config.toml</link>-fil.","composer.mode.agentMode.customInfo.docs":"Se mere om konfigurering af godkendelses- og Sandbox-politikker i <link>dokumenter om kørselsmiljø</link>.","composer.mode.agentMode.customInfo.refresh":"Alle ændringer træder i kraft, næste gang agenten kører.","composer.mode.agentMode.customInfo.title":"Sådan fungerer tilpasset tilstand","composer.mode.agentMode.fullAccess":"Agent (fuld adgang)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (fuld adgang)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (fuld adgang)","composer.mode.agentMode.fullAccessConfirm.caution":"Vær forsigtig ved tilladelse af fuld adgang. Det øger risikoen for tab af data, lækager eller uventet adfærd markant.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ja, fortsæt alligevel","composer.mode.agentMode.fullAccessConfirm.description":"Når Codex kører med fuld adgang, kan den redigere enhver fil på din computer og køre kommandoer i netværket uden din godkendelse.","composer.mode.agentMode.fullAccessConfirm.goBack":"Annuller","composer.mode.agentMode.fullAccessConfirm.title":"Vil du tillade fuld adgang?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Skift tilstand","composer.mode.agentMode.tooltip.auto":"Læs og rediger filer, og kør kommandoer.","composer.mode.agentMode.tooltip.custom":"Brug de nyeste godkendelses- og sandkassepolitikker defineret i config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex kan redigere filer uden for dette projekt og køre kommandoer med netværksadgang. Vær forsigtig med at bruge dette.","composer.mode.agentMode.tooltip.readOnly":"Kræver godkendelse for at redigere filer og køre kommandoer.","composer.mode.cloud.tooltip":"Arbejd i et cloud-miljø","composer.mode.contactAdmin":"Kontakt din admin for at få øget adgang","composer.mode.local":"Lokal","composer.mode.local.learnMore":"Se mere","composer.mode.local.model.custom":"Tilpasset","composer.mode.local.model.loadingModel":"Indlæser model","composer.mode.local.model.selecrReasoningEffort":"Vælg avanceret tænkning","composer.mode.local.model.selectModel":"Vælg model","composer.mode.local.model.tooltip":"Vælg model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Høj","composer.mode.local.reasoning.low.label":"Lav","composer.mode.local.reasoning.medium.label":"Medium","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Ingen","composer.mode.local.reasoning.xhigh.label":"Ekstra høj","composer.mode.localRemoteWhereRun":"Vælg, hvor opgaven skal køres","composer.mode.newTask.header":"Fortsæt om","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Resterende forbrugsgrænser","composer.mode.rateLimit.hour":"{hours} t","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"Grænse i {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ugentlig grænse} other {{weeks}-ugers grænse}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Ugentligt} other {{weeks}-ugers}}","composer.mode.remote.connectToCloud":"Opret forbindelse til Codex-web","composer.mode.remote.connectToCloudDisabledTooltip":"Konfigurer et miljø via Codex-web for at aktivere muligheden for at sende opgaver til skyen","composer.mode.remote.selectEnvironment":"Vælg miljø","composer.mode.remote.sendToCloud":"Send til skyen","composer.mode.remote.setupViaWeb":"Konfigurer et miljø via Codex-web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Arbejd i cloud-miljø","composer.mode.segmentedToggle.local.tooltip":"Arbejd i dit lokale projekt","composer.mode.segmentedToggle.worktree.tooltip":"Arbejd i et parallelt arbejdstræ","composer.mode.upgradeToPlus":"Opgrader til Plus","composer.mode.upgradeToPro":"Opgrader til Pro","composer.mode.workLocally":"Lokalt projekt","composer.mode.workLocally.currentBranchFallback":"din forgrening","composer.mode.workLocally.tooltip":"Arbejd på {branchName}","composer.mode.worktree":"Nyt arbejdstræ","composer.mode.worktree.submoduleWarning":"Dette lagringssted har Git-undermoduler. oprettelse af et arbejdstræ kan mislykkes","composer.mode.worktree.tooltip":"Opret en kopi af dit lokale projekt for at arbejde parallelt","composer.mode.worktreeSegment":"Arbejdstræ","composer.modelChangeDuringConversationWarning.toast":"Skift af model midt i samtalen vil forringe ydeevnen.","composer.newChat.heading.browser":"Hvad skal vi kode nu?","composer.permissionsDropdown.custom.label":"Tilpasset (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Tilpasset (config.toml)","composer.permissionsDropdown.default.label":"Standardtilladelser","composer.permissionsDropdown.default.optionLabel":"Standardtilladelser","composer.permissionsDropdown.fullAccess.disabled":"Fuld adgang er deaktiveret af requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Rediger tilladelser","composer.personalitySlashCommand.description.friendly":"Varm, samarbejdsvillig og hjælpsom","composer.personalitySlashCommand.description.pragmatic":"Præcis, opgavefokuseret og direkte","composer.personalitySlashCommand.label.friendly":"Venlig","composer.personalitySlashCommand.label.pragmatic":"Pragmatisk","composer.personalitySlashCommand.notApplicableSuffix":"(Gælder ikke for den nuværende model)","composer.personalitySlashCommand.title":"Personlighed","composer.placeholder.cloudFollowUp.directFollowUp":"Opfølgning på denne cloud-opgave","composer.placeholder.cloudFollowUp.local":"Opret en ny, lokal opgave, der refererer til denne cloud-opgave","composer.placeholder.cloudFollowUp.workingTree":"Opret en ny cloud-opgave, som inkluderer din nuværende kode og refererer denne opgave","composer.placeholder.localFollowUp.cloud":"Opfølgning i en ny cloud-opgave","composer.placeholder.localFollowUp.locally":"Spørg efter opfølgende ændringer","composer.placeholder.newTask.cloud":"Bed Codex om at gøre hvad som helst i skyen","composer.placeholder.newTask.doAnything":"Bed Codex om at gøre hvad som helst","composer.placeholder.newTask.locally":"Spørg Codex om alt, @ for at tilføje filer, / for kommandoer","composer.planModeDropdown":"Planlægningstilstand","composer.planModeDropdown.ariaLabel":"Planlægningstilstand","composer.planModeIndicator":"Abonnement","composer.planModeIndicator.hintShortcut":"Cmd + Shift + p","composer.planSlashCommand.disableDescription":"Slå planlægningstilstand fra","composer.planSlashCommand.enableDescription":"Slå planlægningstilstand til","composer.planSlashCommand.title":"Planlægningstilstand","composer.priorContext.label":"Tidligere kontekst","composer.priorContext.removeAriaLabel":"Fjern tidligere kontekst","composer.queuedMessage.delete":"Slet beskeder i kø","composer.queuedMessage.edit":"Rediger besked","composer.queuedMessage.more":"Handlinger for beskeder i kø","composer.queuedMessage.sendNow":"Send nu","composer.queuedMessage.turnOff":"Slå kømulighed fra","composer.reasoningEffort.local.reasoning.tooltip":"Vælg avanceret tænkning","composer.remote.branchStartingPoint":"Hvilken branch skal opgaven starte fra?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Opret en ny opgave, der refererer til denne opgave i skyen.","composer.remote.currentEditsSuffix.useLocal":"med lokale kodeændringer","composer.remote.directFollowUp":"Brug ikke lokale kodeændringer","composer.remote.errorLoadingBranches":"Fejl ved indlæsning af flere branches","composer.remote.fromBranch":"Fra {branch}","composer.remote.fromCurrentBranch":"Fra {branch} (aktuel)","composer.remote.loadingMoreBranches":"Indlæser ...","composer.remote.localFileStateHeading":"Lokal filtilstand","composer.remote.localWorkingTree":"Brug lokale ændringer","composer.remote.startingPoint":"Hvilken kode skal opgaven starte fra?","composer.reviewMode.branches.error":"Kunne ikke indlæse branches","composer.reviewMode.branches.retry":"Prøv igen","composer.reviewMode.gitRoot.error":"Git-root blev ikke fundet","composer.reviewMode.option.baseBranch.simple":"Gennemse mod en base-branch","composer.reviewMode.option.unstaged.simple":"Gennemse ikke-gennemførte ændringer","composer.reviewMode.quickReviewError":"Kunne ikke starte kodegennemgang.","composer.reviewMode.title":"Gennemse kode","composer.sandboxButton.unlock.disabled.tooltip":"Fuld adgang er deaktiveret af requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex kan bruge en eksperimentel sandbox i Windows til at begrænse filsystem- og netværksadgang. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Aktivér Windows-sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Kun læsning","composer.searchEnvironments":"Søg i miljøer","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Indlæser færdigheder ...","composer.skillMentionList.noResults":"Ingen færdigheder fundet","composer.slashCommands.cloudEnvironment.title":"Cloud-miljø","composer.slashCommands.dialogLabel":"Menu for slash-kommandoer","composer.slashCommands.dialogTitle":"Slash-kommandoer","composer.slashCommands.disabledTooltip":"Start en ny samtale for at bruge slash-kommandoer","composer.slashCommands.inputPlaceholder":"Søg","composer.slashCommands.noResults":"Ingen kommandoer","composer.slashCommands.skillsGroup":"Færdigheder","composer.slashCommands.tooltip":"Gennemse slash-kommandoer","composer.status.close":"Luk","composer.statusPlain.alertLabel":"Advarsel:","composer.statusPlain.alertValue":"{remaining} % tilbage. {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} anvendt/{total})","composer.statusPlain.contextValueRemaining":"{remaining} % tilbage","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Grænse i {modelName}:","composer.statusPlain.rateLimitDays":"{count} d. grænse","composer.statusPlain.rateLimitFallbackLabel":"Begrænsning:","composer.statusPlain.rateLimitHours":"{count} t. begrænsning","composer.statusPlain.rateLimitLabelBase":"Begrænsning","composer.statusPlain.rateLimitMinutes":"{count} m. begrænsning","composer.statusPlain.rateLimitPercent":"{remaining} % tilbage","composer.statusPlain.rateLimitReset":"nulstilles {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"tidspunkt for nulstilling er ikke tilgængelig","composer.statusPlain.rateLimitUnavailable":"Ikke tilgængelig","composer.statusPlain.sessionCopiedAriaLabel":"Sessions-ID’et blev kopieret","composer.statusPlain.sessionCopiedTooltip":"ID kopieret","composer.statusPlain.sessionCopyAriaLabel":"Kopiér sessions-ID","composer.statusPlain.sessionCopyTooltip":"Kopiér ID","composer.statusPlain.sessionLabel":"Session:","composer.statusSlashCommand.description":"Vis tråd-ID, kontekstbrug for begrænsninger","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Det var ikke muligt at sende beskeden","composer.submit.emptyMessage":"Indtast en besked for at komme i gang","composer.submit.imageInputsUnsupported":"Fjern billeder, eller skift model for at sende denne besked.","composer.submit.loadingLocalConfig":"Indlæser ...","composer.submit.missingCloudConfig":"Du skal vælge et cloud-miljø","composer.submit.missingCloudTurn":"Det er ikke muligt at følge op på denne opgave","composer.submit.noWorkspace":"Tilføj et projekt for at bruge Codex","composer.submit.waitForImageUploads":"Uploader billeder ...","composer.submitButtonTooltip.send":"Send","composer.submitButtonTooltip.stop":"Stop","composer.worktreeEnvironment.create":"Opret lokalt miljø","composer.worktreeEnvironment.default":"Standardmiljø","composer.worktreeEnvironment.error":"Der opstod en fejl under indlæsningen af miljøer","composer.worktreeEnvironment.loading":"Indlæser miljøer ...","composer.worktreeEnvironment.title":"Lokalt miljø","composer.worktreeEnvironment.tooltip":"Vælg et lokalt miljø","composer.worktreeSetupFailed":"Opsætning af arbejdstræet mislykkedes. Se .codex/environments for et opsætningsscript.","compoundButton.secondaryAction":"Sekundær handling","copyButton.copied":"Kopieret","copyButton.copiedAriaLabel":"Kopieret","copyButton.copy":"Kopiér","copyButton.copyAriaLabel":"Kopiér","copyButton.copyCode":"Kopiér kode","diff.actionButton.revertFile":"Gendan fil","diff.actionButton.revertHunk":"Gendan","diff.actionButton.revertSection":"Gendan alle","diff.actionButton.revertSectionLabel":"Gendan alle","diff.actionButton.stageFile":"Markér fil","diff.actionButton.stageHunk":"Markér ændring","diff.actionButton.stageSection":"Markér alle","diff.actionButton.stageSectionLabel":"Markér alle","diff.actionButton.unstageFile":"Fjern fil","diff.actionButton.unstageHunk":"Fjern ændring","diff.actionButton.unstageSection":"Fjern alle","diff.actionButton.unstageSectionLabel":"Fjern alle","diff.fileHeader.toggle":"Skift fil-diff","electron.onboarding.login.apikey.cancel":"Annuller","electron.onboarding.login.apikey.continue":"Fortsæt","electron.onboarding.login.apikey.label":"OpenAI-API-nøgle","electron.onboarding.login.apikey.open":"Indtast API-nøgle","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Annuller login","electron.onboarding.login.chatgpt.continue":"Fortsæt med ChatGPT","electron.onboarding.login.devbox":"Opret forbindelse til en fjern-SSH","electron.onboarding.login.error":"Det var ikke muligt at logge ind: {rawMessage}","electron.onboarding.login.snake.start":"Spil Snake","electron.onboarding.login.sshConfig.cancel":"Annuller","electron.onboarding.login.sshConfig.continue":"Fortsæt","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-værtsname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Den bedste måde at bygge med agenter","electron.onboarding.login.title":"Velkommen til Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Fortsæt","electron.onboarding.welcome.doubleLimits.description":"I anledning af vores lancering af Codex-appen fordobler vi din grænse indtil 2. april.","electron.onboarding.welcome.freego.description":"Codex er inkluderet gratis i dit abonnement indtil 2. marts – lad os bygge noget sammen.","electron.onboarding.welcome.new.title.anon":"Velkommen!","electron.onboarding.workspace.continue":"Fortsæt","electron.onboarding.workspace.empty":"Tilføj et projekt for at fortsætte.","electron.onboarding.workspace.listLabel":"Tilgængelige projekter","electron.onboarding.workspace.loading":"Indlæser projekter ...","electron.onboarding.workspace.openFolder":"Tilføj projekt","electron.onboarding.workspace.selectAll":"Vælg alle","electron.onboarding.workspace.skip":"Spring over","electron.onboarding.workspace.skip.error":"Kunne ikke oprette et nyt projekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Ukendt fejl","electron.onboarding.workspace.skipping":"Opretter et nyt projekt ...","electron.onboarding.workspace.subtitle":"Codex vil kunne redigere filer og køre kommandoer i udvalgte mapper.","electron.onboarding.workspace.title":"Vælg et projekt","errorPage.list.checkSettings":"Prøv at opdatere dine IDE-indstillinger","errorPage.list.configToml":"Kontrollér din config.toml for ugyldige indstillinger","errorPage.list.downloadExtension":"Prøv at downloade en anden version af udvidelsen","errorPage.list.runInWsl":"Kontrollér dine indstillinger for at deaktivere kørsel i WSL, hvis du løber ind i kompatibilitetsproblemer.","execApprovalRequest.menu.runAlways":"Ja, og spørg ikke igen i denne session","execApprovalRequest.menu.runAlwaysWithAmendment":"Ja, og spørg ikke igen efter kommandoer, der starter med {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ja, og spørg ikke igen efter kommandoer, der starter med","execApprovalRequest.menu.runOnce":"Ja","execApprovalRequest.prompt":"Vil du køre denne kommando?","execApprovalRequest.reject":"Nej","execFooter.exitCode":"Exit-kode {code}","execFooter.exitCode.unknown":"ukendt","execFooter.success":"Succes","feedback.dialog.category.badResult":"Dårligt resultat","feedback.dialog.category.bug":"Fejl","feedback.dialog.category.goodResult":"Godt resultat","feedback.dialog.category.other":"Andet","feedback.dialog.descriptionPlaceholder":"Beskriv problemet her","feedback.dialog.dismiss":"Afvis","feedback.dialog.includeLogsLabel":"Medtag aktuelle logfiler for Codex-session","feedback.dialog.submit":"Indsend","feedback.dialog.submitError":"Vi kunne ikke sende din feedback. Prøv igen om lidt.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"eksisterende åbent problem","feedback.dialog.uploadedMessage.openIssue":"Åbn et GitHub-problem","feedback.dialog.uploadedMessage.withThread":"Feedback blev uploadet. Hvis problemet fortsætter, {openIssueLink} eller nævn trådens ID i en {existingIssueLink}:","feedback.dialog.uploadedTitle":"Feedback blev uploadet","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Fjern {filename}","header.back":"Tilbage","header.recentChats":"Opgaver","header.recentTasks.seeAll":"Vis alle ({total})","home.header.getPlus":"Få Plus","home.hero.letsBuild":"Lad os bygge","homePage.mainContent":"Primært indhold","imageAttachment.defaultName":"billede","imageAttachment.preview.close":"Luk forhåndsvisning af billede","imageAttachment.removeAriaLabel":"Fjern {filename}","implementPlanRequest.option.implement":"Ja, implementér denne plan","implementPlanRequest.prompt":"Vil du implementere denne plan?","inbox.archived.deleteError":"Det var ikke muligt at slette arkiveret kørsel","inbox.archived.deleteRun":"Slet arkiveret kørsel","inbox.archived.deleteSuccess":"Den arkiverede tråd blev slettet. Vis i <settingsLink>Arkiverede tråde</settingsLink>.","inbox.archived.inlineLabel.auto":"Denne tråd blev automatisk arkiveret. <learnMoreLink>Se mere</learnMoreLink>","inbox.archived.inlineLabel.manual":"Denne tråd blev arkiveret.","inbox.archived.noMessageFound":"Der blev ikke fundet nogen besked","inbox.automations.createError":"Det var ikke muligt at oprette automatisering","inbox.automations.deleteConfirm.cancel":"Annuller","inbox.automations.deleteConfirm.confirm":"Slet automatisering","inbox.automations.deleteConfirm.description":"Dette vil slette automatiseringen permanent og stoppe fremtidige kørsler.","inbox.automations.deleteConfirm.title":"Vil du slette {name}?","inbox.automations.deleteError":"Det var ikke muligt at slette automatiseringen","inbox.automations.editTooltip":"Rediger automatisering","inbox.automations.inProgress":"I gang","inbox.automations.new":"Ny","inbox.automations.newToolbar":"Ny automatisering","inbox.automations.pauseTooltip":"Sæt automatisering på pause","inbox.automations.resumeTooltip":"Genoptag automatisering","inbox.automations.startingNow":"Starter nu","inbox.automations.startsIn":"Starter om {startTime}","inbox.automations.status.active":"Aktiv","inbox.automations.status.paused":"Sat på pause","inbox.automations.status.runs":"{count} kørsler","inbox.automations.status.started":"Påbegyndt {date}","inbox.automations.updateError":"Det var ikke muligt at opdatere automatiseringen","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Alle","inbox.filter.ariaLabel":"Filtrer elementer i indbakken","inbox.filter.unread":"Ikke læst","inbox.list.archived":"Arkiveret","inbox.list.inProgress":"I gang","inbox.list.recent":"Fuldført","inbox.list.upNext":"Planlagt","inbox.mode.automations":"Automatiseringer","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Der er ikke angivet nogen beskrivelse","inbox.openThread":"Åbn tråd","inbox.rightPanel.emptySubtitle":"Automatiser dit arbejde med planlagte opgaver","inbox.rightPanel.emptySubtitle.learnMore":"Automatiser dit arbejde med planlagte tråde. <link>Se mere</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktiv automatisering} other {# aktive automatiseringer}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Ingen ulæste automatiseringer","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ulæst automatisering} other {# ulæste automatiseringer}}","inbox.rightPanel.emptyTitle":"Ingen valgte elementer","inbox.rightPanel.noThread":"Ingen tråd for dette element","inbox.rightPanel.quickStart.header":"Start med en skabelon","inbox.untitled":"Uden titel i indbakken","loadingPage.documentationLink":"dokumentation","loadingPage.errorDescription":"Codex gik ned med følgende fejl:","loadingPage.errorDescription.documentation":"Klik på Indlæs igen for at genstarte Codex-udvidelsen, eller gå til {documentationLink} for at få mere hjælp.","loadingPage.errorSignal":"Nogle ting, du kan prøve:","loadingPage.errorTitle":"Der opstod en fejl","loadingPage.openConfigToml":"Åbn config.toml","loadingPage.reload":"Genindlæs","localConversation.contextCompacted":"Konteksten komprimeres automatisk","localConversation.contextCompacting":"Komprimerer kontekst automatisk","localConversation.forkedFromConversation":"Fordelt fra {threadTitle}","localConversation.merge.autoResolve.failed":"Det var ikke muligt at anmode om automatisk konfliktløsning: {error}","localConversation.merge.autoResolve.sent":"Anmodning om automatisk konfliktløsning blev sendt","localConversation.merge.autoResolveMerge.missingConversation":"Det var ikke muligt at løse konflikten automatisk uden en aktiv samtale.","localConversation.merge.autoResolveMerge.request":"Løs automatisk sammenfletningskonflikter","localConversation.modelChanged":"Modellen skiftede fra {fromModel} til {toModel}.","localConversation.modelChanged.warning.line1":"Skift af model midt i samtalen vil forringe ydeevnen.","localConversation.modelChanged.warning.line2":"Konteksten komprimeres automatisk.","localConversation.moveThread.createBranch.label":"Opret forgrening","localConversation.moveToLocal.disabled.loading":"Indlæser ...","localConversation.moveToLocal.modal.continue":"Fortsæt","localConversation.moveToLocal.modal.destinationLabel":"Flyt til","localConversation.moveToLocal.modal.retry":"Prøv igen","localConversation.moveToWorktree.modal.back":"Tilbage","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Branchen findes allerede.","localConversation.moveToWorktree.modal.branchesError":"Kunne ikke indlæse branches","localConversation.moveToWorktree.modal.branchesLoading":"Indlæser branches ...","localConversation.moveToWorktree.modal.branchesRetry":"Prøv igen","localConversation.moveToWorktree.modal.continue":"Fortsæt","localConversation.moveToWorktree.modal.retry":"Prøv igen","localConversation.moveToWorktree.modal.trailingSlashError":"Branch-navnet må ikke slutte på ”/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"Skiftede til {personality}-personlighed","localConversation.planSummary.collapse":"Skjul oversigt over abonnement","localConversation.planSummary.collapseTooltip":"Skjul","localConversation.planSummary.download":"Download plan","localConversation.planSummary.expand":"Udvid oversigt over abonnement","localConversation.planSummary.expandTooltip":"Vis","localConversation.planSummary.openInNewWindow":"Åbn","localConversation.planSummary.openInNewWindow.tooltip":"Åbn i nyt vindue","localConversation.planSummary.title":"Abonnement","localConversation.planSummary.titleWriting":"Skriveplan","localConversation.planSummary.viewPlan":"Vis abonnement","localConversation.remoteTaskCreated":"Oprettet {taskLink} i Codex Cloud","localConversation.remoteTaskCreated.task":"opgave","localConversation.scrollToBottomButton":"Rul ned til bunden","localConversation.sync.buttonLabel":"Overdrag ændring til lokal","localConversation.sync.buttonLabel.tooltip":"Overdrag ændringer mellem dette arbejdstræ og dit lokale checkout.","localConversation.sync.modal.loading.title":"Overdrager ændringer …","localConversation.sync.modal.noChanges":"Ingen ændringer","localConversation.syncSetup.branchAriaLabel":"Navn på branch","localConversation.syncSetup.branchName":"Navn på branch","localConversation.syncSetup.branchPlaceholder.existing":"Vælg eksisterende branch","localConversation.syncSetup.branchPlaceholder.new":"codex/ny-funktion","localConversation.syncSetup.branchesLoading":"Indlæser branches ...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Er allerede tjekket ud","localConversation.syncSetup.checkoutClean":"Er i øjeblikket på {branchName}","localConversation.syncSetup.checkoutDirty":"Er i øjeblikket på {branchName} med ikke-indsendte ændringer","localConversation.syncSetup.checkoutError":"Det var ikke muligt at tjekke forgreningen (branch) ud: {message}","localConversation.syncSetup.checkoutLabel":"Tjek ud lokalt nu","localConversation.syncSetup.checkoutOnLocal":"Overdrag ændring til lokal","localConversation.syncSetup.checkoutPending":"Tjekker lokal status ...","localConversation.syncSetup.checkoutUnavailable":"Det lokale arbejdsområde er ikke tilgængeligt","localConversation.syncSetup.checkoutUnknown":"Den lokale branch er ikke tilgængelig","localConversation.syncSetup.continue":"Fortsæt","localConversation.syncSetup.createBranchError":"Det lykkedes ikke at indstille overdragelsesforgreningen: {message}","localConversation.syncSetup.error":"Der gik noget galt: {message}","localConversation.syncSetup.error.workingTreeMissing":"Det var ikke muligt at tage et snapshot af arbejdstræet. Prøv at overdrage igen.","localConversation.syncSetup.mode.ariaLabel":"Vælg branch-tilstand","localConversation.syncSetup.mode.existing":"Eksisterende branch","localConversation.syncSetup.mode.new":"Ny branch","localConversation.syncSetup.noBranches":"Der blev ikke fundet nogen branches","localConversation.syncSetup.overwriteError":"Forgreningen (branchen) blev oprettet, men den er ikke helt overdraget. Overdrag manuelt, før du tjekker ud lokalt.","localConversation.syncSetup.setPrefix":"Indstillet præfiks","localConversation.syncSetup.subtitle":"Test og rediger ændringer i arbejdstræer lokalt. <a>Se mere</a>","localConversation.syncSetup.success.checkedOut":"Branchen blev oprettet og tjekket ud lokalt","localConversation.syncSetup.success.notCheckedOut":"Forgreningen blev oprettet","localConversation.syncSetup.title":"Overdrag til en lokal forgrening","localConversation.syncWorktreeError.branchAriaLabel":"Navn på branch","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/ny-funktion","localConversation.syncWorktreeError.branchSetup.subtitle":"Vælg en forgrening at overdrage til, og prøv at indlæse ændringer igen.","localConversation.syncWorktreeError.branchSetup.title":"Opdater forgrening","localConversation.syncWorktreeError.branchUpdate.cta":"Opdater og prøv igen","localConversation.syncWorktreeError.branchUpdate.error":"Det var ikke muligt at opdatere forgreningen: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Der gik noget galt: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Forgreningen bliver ikke tjekket ud i noget arbejdstræ.","localConversation.syncWorktreeV2.applyUncommitted":"Anvend","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Du skal tjekke branchen ud lokalt for at anvende ikke-indsendte ændringer","localConversation.syncWorktreeV2.branches.empty":"Der blev ikke fundet nogen branches","localConversation.syncWorktreeV2.branches.loading":"Indlæser branches ...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Skift overdragelsesforgrening","localConversation.syncWorktreeV2.changeBranch.error":"Det var ikke muligt at ændre overdragelsesforgreningen: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Anvendelse mislykkedes","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Overskrivningen af arbejdstræet mislykkedes","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Lokal overskrivning mislykkedes","localConversation.syncWorktreeV2.commandError.back":"Tilbage","localConversation.syncWorktreeV2.commandError.body":"En git-kommando mislykkedes under overdragelsen. Gennemgå outputtet, og prøv igen.","localConversation.syncWorktreeV2.commandError.retry":"Prøv igen","localConversation.syncWorktreeV2.description":"Overfør ændringer mellem lokal og dette arbejdstræ. <a>Se mere</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Vælg overdragelsesretning","localConversation.syncWorktreeV2.error.generic":"Der gik noget galt under overdragelsen. Prøv igen.","localConversation.syncWorktreeV2.localBranchLabel":"Lokal","localConversation.syncWorktreeV2.noChanges":"Beregner ændringer","localConversation.syncWorktreeV2.noChanges.summary":"Ingen ændringer","localConversation.syncWorktreeV2.overwrite.local":"Overskriv lokal","localConversation.syncWorktreeV2.overwrite.worktree":"Overskriv arbejdstræ","localConversation.syncWorktreeV2.partial.action.applyFailed":"Det var ikke muligt at anvende ændringerne","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Det var ikke muligt at overskrive de lokale ændringer","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Det var ikke muligt at overskrive ændringerne i arbejdstræet","localConversation.syncWorktreeV2.partial.appliedLabel":"Anvendt","localConversation.syncWorktreeV2.partial.back":"Tilbage","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Løs konflikter, og prøv igen.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikter","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fil} other {# filer}}","localConversation.syncWorktreeV2.partial.retry":"Prøv igen","localConversation.syncWorktreeV2.partial.skippedLabel":"Sprunget over","localConversation.syncWorktreeV2.stateFailed.generic":"Noget gik galt under hentning af de ændringer i arbejdstræet, der skulle overdrages. Prøv igen.","localConversation.syncWorktreeV2.stateFailed.title":"Det var ikke muligt at indlæse ændringer i arbejdstræet","localConversation.syncWorktreeV2.statusError.diffUnknown":"Det var ikke muligt at indlæse ændringer i arbejdstræet.","localConversation.syncWorktreeV2.statusError.retry":"Prøv igen","localConversation.syncWorktreeV2.statusError.title":"Det var ikke muligt at indlæse ændringerne i den lokale forgrening","localConversation.syncWorktreeV2.statusError.unknown":"Status for forgreningen er ikke tilgængelig lige nu. Prøv igen.","localConversation.syncWorktreeV2.success.apply":"Ændringerne blev anvendt","localConversation.syncWorktreeV2.success.overwrite":"Overdragelsen blev fuldført","localConversation.syncWorktreeV2.title":"Overdrag ændringer","localConversation.syncWorktreeV2.worktreeLabel":"Arbejdstræ","localConversation.userInputRequest.inProgress":"Spørger {count, plural, one {spørgsmål} other {spørgsmål}}","localConversation.userInputRequest.noAnswer":"Der er ikke angivet nogen svar","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Spurgte","localConversation.userInputRequest.summary.count":"{count, plural, one {# spørgsmål} other {# spørgsmål}}","localConversation.workedFor":"Arbejdede i {time}","localConversation.worktreeBranchSetup.action.create":"Opret","localConversation.worktreeBranchSetup.branchAriaLabel":"Navn på branch","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Opret en ny branch","localConversation.worktreeBranchSetup.checkoutDisabled":"Denne branch er allerede blevet tjekket ud kl. {location}","localConversation.worktreeBranchSetup.checkoutError":"Det var ikke muligt at tjekke forgreningen (branch) ud: {message}","localConversation.worktreeBranchSetup.createBranchError":"Det var ikke muligt at indstille forgreningen: {message}","localConversation.worktreeBranchSetup.error":"Der gik noget galt: {message}","localConversation.worktreeBranchSetup.subtitle":"Opret en branch for at indsætte ændringer, push og oprette en PR fra dette arbejdstræ. <a>Se mere</a>","localConversation.worktreeBranchSetup.title":"Arbejd her","localConversationPage.addWorktreeToSidebar.tooltip":"Gem som projekt, så du kan starte nye tråde fra dette arbejdstræ","localConversationPage.addWorktreeToSidebarError":"Det var ikke muligt at tilføje projektet","localConversationPage.commitAndCreatePrModal.errorTitle":"Indsendelse og oprettelse af PR mislykkedes","localConversationPage.commitAndCreatePrModal.successTitle":"PR blev indsendt og oprettet","localConversationPage.commitAndPushModal.errorTitle":"Indsendelse og push mislykkedes","localConversationPage.commitAndPushModal.successTitle":"Indsendte og pushede ændringer","localConversationPage.commitCreatePr.open":"Åbn pull-anmodning","localConversationPage.commitCreatePr.successTitle":"Oprettede PR med dine seneste ændringer","localConversationPage.createBranchButtonLabel":"Branch her","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Opret PR","localConversationPage.createPrModal.createDescription":"Åbn en pull-anmodning for dine seneste ændringer.","localConversationPage.createPrModal.errorTitle":"Pull-anmodningen mislykkedes","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Åbn PR","localConversationPage.createPrModal.successTitle":"Pull-anmodningen blev oprettet","localConversationPage.createPrModal.title":"Opret pull-anmodning","localConversationPage.createPrModal.viewDescription":"Der findes allerede en pull-anmodning for denne branch.","localConversationPage.createPrModal.viewTitle":"Pull-anmodningen er klar","localConversationPage.createPullRequestAuthGh":"Godkend GitHub CLI: run `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Der er ingen tilgængelige oplysninger om forgreningen","localConversationPage.createPullRequestButtonLabel":"Opret PR","localConversationPage.createPullRequestButtonLabel.loading":"Opretter PR ...","localConversationPage.createPullRequestDefaultBranchMissing":"Oplysninger om standard-branch ikke tilgængelig","localConversationPage.createPullRequestError":"Kunne ikke oprette pull-anmodningen","localConversationPage.createPullRequestExistingPullRequest":"Der findes allerede en pull-anmodning for denne branch","localConversationPage.createPullRequestGhStatusMissing":"Indlæser GitHub CLI-status ...","localConversationPage.createPullRequestInstallGh":"Installer GitHub CLI (gh) for at lave pull-anmodninger","localConversationPage.createPullRequestNoRepo":"Der blev ikke fundet et Git-lagringssted","localConversationPage.createPullRequestPushStatusMissing":"Indlæser push-status ...","localConversationPage.createPullRequestSetUpstream":"Push denne branch, før du laver en pull-anmodning","localConversationPage.createPullRequestSuccessToast":"Pull-anmodningen blev oprettet","localConversationPage.createPullRequestSwitchBranch":"Tjek en funktionsforgrening ud før oprettelse af en pull-anmodning","localConversationPage.error.render":"Fejl ved gengivelse af lokal samtale","localConversationPage.error.toast":"Samtalen blev ikke fundet","localConversationPage.forcePushError":"Det var ikke muligt at gennemtvinge push","localConversationPage.generatePullRequestMessageError":"Det var ikke muligt at generere titel og tekst for pull-anmodning","localConversationPage.generatePullRequestMessageFailed":"Kunne ikke generere titel og tekst for pull-anmodning.","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Annuller","localConversationPage.gitActionResult.close":"Luk","localConversationPage.gitActionResult.tryAgain":"Prøv igen","localConversationPage.gitActions":"Git-handlinger","localConversationPage.newChat":"Ny chat","localConversationPage.openInTarget":"Åbn i","localConversationPage.openPrimaryTarget":"Åbn","localConversationPage.planItemsCompleted":"{completedItems} ud af {totalItems, plural, one {# opgave blev fuldført} other {# opgaver blev fuldført}}","localConversationPage.pushAuthError":"Push mislykkedes: godkendelse er påkrævet","localConversationPage.pushBranchMissing":"Der er ingen tilgængelige oplysninger om forgreningen","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Sender ...","localConversationPage.pushError":"Det var ikke muligt at pushe ændringer","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Annuller","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Push dine seneste indsendelser til fjernlagring.","localConversationPage.pushModal.errorTitle":"Push mislykkedes","localConversationPage.pushModal.forcePush":"Gennemtving push","localConversationPage.pushModal.successTitle":"Push blev fuldført","localConversationPage.pushModal.title":"Push-ændringer","localConversationPage.pushModal.tryAgain":"Prøv igen","localConversationPage.pushNoUpstream":"Konfigurer en upstream, før pushing af denne forgrening","localConversationPage.pushNoUpstreamError":"Push mislykkedes: ingen upstream konfigureret","localConversationPage.pushNothingToPush":"Ingen nye commits, der kan pushes","localConversationPage.pushRemoteChangedError":"Push mislykkedes: ekstern har nye commits","localConversationPage.pushRemoteRejectedError":"Push afvist af ekstern","localConversationPage.pushStatusMissing":"Indlæser push-status ...","localConversationPage.pushSuccessToast":"Ændringer blev sendt","localConversationPage.viewPullRequestButtonLabel":"Vis PR","localConversationPage.viewPullRequestButtonLabel.loading":"Indlæser pull-anmodning ...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fil} other {# filer}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liste} other {# lister}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# søgning} other {# søgninger}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Udforsker","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Udforskede","localConversationTurn.exploration.accordion.header.complete.withCounts":"Udforskede {counts}","localConversationTurnStory.showContent":"Vis indhold","localConversationTurnStory.streamContent":"Stream indhold","localConversationTurnStory.toggleReasoning":"Vis ræsonnement","localTaskRow.archiveError":"Det var ikke muligt at arkivere samtalen","localTaskRow.resumeError":"Det var ikke muligt at genoptage opgaven","mermaidDiagram.ariaLabel":"Mermaid-diagram","mermaidDiagram.copySource":"Kopiér havfrue","mermaidDiagram.originalCode":"Mermaid-kildekode","notifications.permissions.description":"Vis meddelelser, når tilladelser for beskeder er påkrævet","notifications.permissions.label":"Aktivér notifikationer for tilladelser","notifications.turnMode.always":"Altid","notifications.turnMode.description":"Indstil, når Codex advarer dig om, at den er færdig","notifications.turnMode.label":"Notifikationer ved afsluttet tur","notifications.turnMode.off":"Aldrig","notifications.turnMode.unfocused":"Kun, når det ikke er i fokus","patchApprovalRequest.approve":"Godkend","patchApprovalRequest.menu.allowAlways":"Ja, og spørg ikke igen i denne session","patchApprovalRequest.menu.allowForSession":"Ja, og spørg ikke igen i denne session","patchApprovalRequest.menu.allowOnce":"Ja","patchApprovalRequest.prompt":"Vil du foretage disse ændringer?","patchApprovalRequest.reject":"Nej","patchApprovalRequest.waitingForApproval":"Afventer godkendelse til at redigere filer","pendingRequest.approvalExec.collapse":"Skjul","pendingRequest.approvalExec.expand":"Vis","pendingRequestStory.toastAnswer":"Svar: {answer}","pendingRequestStory.toastApprovalTitle":"Godkendelsessvar","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Opfølgning sendt","pendingRequestStory.toastNoAnswers":"Der er ikke angivet nogen svar","pendingRequestStory.toastQuestion":"Spørgsmål: {question}","pendingRequestStory.toastUnknownDecision":"Ukendt","pendingRequestStory.toastUserInputTitle":"Indsendte svar","quickAction.request.codeReview.branches.new":"Gennemse ændringerne på {from} mod {to}","quickAction.request.codeReview.uncommitted.new":"Gennemse mine ikke-gennemførte ændringer","reasoningItem.thinking":"Tænker","reasoningItem.thought":"Tanke","reasoningItem.thoughtWithElapsed":"Tænkte i {elapsed}","recentConversations.title":"Seneste samtaler","recentTasks.worktreeInitFailedTitle":"Initiering af worktree mislykkedes","recentTasks.worktreeSettingUpTitle":"Konfigurering af worktree","requestInputPanel.continue":"Fortsæt","requestInputPanel.dismiss":"Afvis","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Skriv her","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nej, og fortæl Codex, hvad den skal gøre anderledes","requestInputPanel.selectedBadge":"Valgte","requestInputPanel.skip":"Spring over","requestInputPanel.submit":"Indsend","review.commit.ariaLabel.includeUnstaged":"Inkluder umarkerede","review.commit.buttonLabel":"Indsæt","review.commit.disabled.committing":"Indsætter ...","review.commit.disabled.loadingDiff":"Indlæser forskelle …","review.commit.disabled.missingContext":"Tilføj noget kontekst for at generere en indsættelsesbesked","review.commit.disabled.noChanges":"Ingen ændringer at committe","review.commit.disabled.noSelection":"Vælg ændringer at committe","review.commit.disabled.unavailable":"Commit er ikke tilgængelig lige nu","review.commit.error":"Kunne ikke indsætte ændringer","review.commit.form.changesToBeCommitted":"Ændringer","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Fortsæt","review.commit.form.title":"Indsæt dine ændringer","review.commit.generate.emptyResponse":"Det var ikke muligt at generere en indsættelsesbesked.","review.commit.generate.failed":"Det var ikke muligt at generere indsættelsesbesked: {error}","review.commit.generate.missingPrompt":"Tilføj noget kontekst for at generere en indsættelsesbesked.","review.commit.includeUnstaged":"Inkluder umarkerede","review.commit.loading.description":"Hæng på, det kan tage et øjeblik ...","review.commit.loading.step.commit.done":"Gennemførte ændringer","review.commit.loading.step.commit.pending":"Indsætter ændringer","review.commit.loading.step.createPr.done":"Oprettede en pull-anmodning","review.commit.loading.step.createPr.pending":"Opretter pull-anmodning","review.commit.loading.step.push.done":"Pushed i branch {branch}","review.commit.loading.step.push.pending":"Pusher i branch {branch}","review.commit.loading.title.commit":"Indsætter ændringer","review.commit.loading.title.createPr":"Opretter en PR","review.commit.loading.title.push":"Pusher ændringer","review.commit.messageLabel":"Indsæt besked","review.commit.messagePlaceholder":"Lad stå tom for automatisk at generere en indsættelsesbesked","review.commit.nextSteps":"Næste trin","review.commit.nextSteps.commit":"Indsæt","review.commit.nextSteps.commitAndCreate":"Indsæt og opret PR","review.commit.nextSteps.commitAndPush":"Indsæt og push","review.commit.nextSteps.prRequiresGh":"Kræver GitHub-CLI: {command}","review.commit.rows.changes":"Ændringer","review.commit.rows.commitCount":"{count, plural, one {# indsættelse} other {# indsættelser}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# indsættelse} other {# indsættelser}} og {stats}","review.commit.rows.fileCount":"{count, plural, one {# fil} other {# filer}}","review.commit.state.error.body":"Der gik noget galt inder indsættelse. Tjek din git-status, og prøv igen.","review.commit.state.error.title":"Indsættelse mislykkedes","review.commit.state.success.title":"Ændringer bliver indsat","review.commit.untracked.loadingStats":"Indlæser statistikker for uovervågede ændringer ...","reviewFindingAttachments.count":"{count, plural, one {# resultat} other {# resultater}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Rediger din konfiguration for at tilpasse agentadfærd","settings.agent.configuration.configToml.docs":"Dokumenter","settings.agent.configuration.subtitle":"Disse indstillinger gælder, uanset hvor Codex bliver anvendt","settings.automations.banner.danger":"Automatiseringer kører med dine standard-sandbox-indstillinger, som i øjeblikket er indstillet til Fuld adgang. Kørsel af automatiseringer i baggrunden med Fuld adgang indebærer en øget risiko, da Codex kan ændre filer, køre kommandoer og få adgang til netværket uden at spørge. Overvej at opdatere sandbox-indstillingerne til arbejdsområdeskrivning og bruge <rulesDocsLink>regler</rulesDocsLink> til selektivt at definere, hvilke kommandoer agenten kan køre med fuld adgang.","settings.automations.banner.defaultHowTo.default":"Automatiseringer kører med dine standardindstillinger for sandbox. Værktøjskald mislykkes, hvis de kræver ændring af filer uden for arbejdsområdet, adgang til netværket eller arbejde med apps på din computer. Du kan selektivt tillade kommandoer at køre uden for sandboxen ved hjælp af <rulesDocsLink>regler</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatiseringer kører med dine standard-sandbox-indstillinger, som kun er indstillet til læsning. Værktøjskald mislykkes, hvis de kræver ændring af filer, adgang til netværket eller arbejde med apps på din computer. Overvej at opdatere sandbox-indstillingerne til skrivning i arbejdsområdet.","settings.automations.cancel":"Annuller","settings.automations.create":"Opret","settings.automations.cwdEmpty":"Der er ingen tilgængelige projektmapper","settings.automations.cwdLabel":"Projekter","settings.automations.cwdPlaceholder":"Vælg en mappe","settings.automations.cwdSubtitle":"Hvis du ønsker, at en automatisering skal køre på en specifik branch, kan du specificere det i din forespørgsel.","settings.automations.delete":"Slet","settings.automations.dialog.editTitle":"Rediger automatisering","settings.automations.dialog.newTitle":"Ny automatisering","settings.automations.dialog.subtitle":"Automatiser tilbagevendende opgaver i baggrunden. Codex tilføjer resultater til indbakken eller arkiverer automatisk opgaven, hvis der ikke er noget at rapportere. <learnMoreLink>Se mere</learnMoreLink>","settings.automations.dialog.title":"Opret automatisering","settings.automations.executionCopy.git":"Automatiseringer kører i baggrunden på dedikerede arbejdstræer.","settings.automations.executionCopy.nonGit":"Automatiseringer i ikke-versionsstyrede projekter kører direkte i projektmappen. Overvej at bruge Git til at aktivere kørsel på arbejdstræer i baggrunden.","settings.automations.executionEnvironment.local":"Lokal","settings.automations.executionEnvironment.worktree":"Arbejdstræ","settings.automations.loading":"Indlæser ...","settings.automations.nameLabel":"Navn","settings.automations.namePlaceholder":"Tjek sentry-problemer","settings.automations.pause":"Pause","settings.automations.promptLabel":"Forespørgsel","settings.automations.promptPlaceholder":"se efter sammenbrud i $Sentry","settings.automations.resume":"Genoptag","settings.automations.rruleSummaryFallback":"Brugerdefineret tidsplan","settings.automations.runNow":"Test","settings.automations.save":"Gem","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} t","settings.automations.scheduleBadge.weekdays":"Hverdage","settings.automations.scheduleBadge.weekends":"Weekender","settings.automations.scheduleHeader":"Tidsplan","settings.automations.scheduleHours":"timer","settings.automations.scheduleLabel":"Kør hver","settings.automations.scheduleMode.daily":"Dagligt","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Tidsangivelse","settings.automations.scheduleSummary.daily":"Hver dag kl. {time}","settings.automations.scheduleSummary.interval":"Hver {count}. t.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dag} other {# dage}}","settings.automations.scheduleSummary.intervalDays":"{interval} kl. {days}","settings.automations.scheduleSummary.intervalHourly":"Hver time","settings.automations.scheduleSummary.singleDay":"{day} kl. {time}","settings.automations.scheduleSummary.weekdays":"Hverdage kl. {time}","settings.automations.scheduleSummary.weekdaysLabel":"hverdage","settings.automations.scheduleSummary.weekends":"Weekender kl. {time}","settings.automations.scheduleSummary.weekendsLabel":"weekender","settings.automations.scheduleSummary.weekly":"{days} kl. {time}","settings.automations.scheduleWeekdays":"Til","settings.automations.weekdayState.excluded":"Ekskluderet","settings.automations.weekdayState.included":"Inkluderet","settings.conversationDetail.steps":"Trin","settings.conversationDetail.steps.description":"Skjul kommandoer og output","settings.conversationDetail.stepsWithCommands":"Trin med kodekommandoer","settings.conversationDetail.stepsWithCommands.description":"Vis kommandoer, skjul output","settings.conversationDetail.stepsWithOutput":"Trin med kodeoutput","settings.conversationDetail.stepsWithOutput.description":"Vis kommandoer, og udvid output","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ingen arkiverede chats.","settings.dataControls.archivedChats.error":"Det var ikke muligt at indlæse arkiverede chats.","settings.dataControls.archivedChats.loading":"Indlæser arkiverede chats ...","settings.dataControls.archivedChats.unarchive":"Genaktiver arkiveret samtale","settings.dataControls.archivedChats.unarchiveError":"Det var ikke muligt at fjerne chatten fra arkivet","settings.dataControls.archivedChats.unarchiveSuccess":"Tråd, der er fjernet fra arkivet. <viewNowLink>Vis nu</viewNowLink>","settings.dataControls.archivedChats.untitled":"Unavngivet chat","settings.editRow.headerPlaceholder":"Nøgle","settings.editRow.removeEntry":"Fjern post","settings.editRow.valuePlaceholder":"Værdi","settings.general.appearance":"Udseende","settings.general.appearance.codeFont":"Skrifttype på kode","settings.general.appearance.codeFont.description":"Tilpas skrifttypen, der bruges til koden på tværs af chats og diffs","settings.general.appearance.codeFontFamily":"Kodens skrifttype","settings.general.appearance.codeFontSize":"Kodens skriftstørrelse","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Få Windows til at bruge en ensfarvet baggrund i stedet for systemgennemsigtighed","settings.general.appearance.opaqueWindows.label":"Brug uigennemsigtig vinduesbaggrund","settings.general.appearance.sansFontFamily":"Sans-skrifttyper","settings.general.appearance.sansFontFamily.description":"Tilpas skrifttypen, der anvendes i Codex UI","settings.general.appearance.sansFontSize":"Sans-skriftstørrelse","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Vis fejringseffekter i hele vinduet, mens GPT-5.3-Codex-Spark kører den første tur","settings.general.appearance.sparkCelebrationEffects.label":"Lav festlige effekter","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Mørkt","settings.general.appearance.theme.description":"Brug lys, mørk eller tilpasset systemet","settings.general.appearance.theme.light":"Lyst","settings.general.appearance.theme.system":"System","settings.general.appearance.usePointerCursors.description":"Skift markøren til en pil, når du holder musen over interaktive elementer","settings.general.appearance.usePointerCursors.label":"Brug pil-markører","settings.general.enterBehavior.description":"Når det er aktiveret, kræver multiline-forespørgsler {modifierSymbol} + enter for at sende.","settings.general.enterBehavior.label":"Kræver {modifierSymbol} + enter for at sende lange forespørgsler","settings.general.experimentalFeatures":"Eksperimentale funktioner (beta)","settings.general.experimentalFeatures.empty":"Ingen eksperimentale betafunktioner tilgængelige.","settings.general.experimentalFeatures.loading":"Indlæser eksperimentale funktioner ...","settings.general.experimentalFeatures.restartNote":"Genstart Codex for at anvende ændring af eksperimentale funktioner","settings.general.experimentalFeatures.toggle":"Skift {featureName}","settings.general.followUpQueueMode.description":"Sæt opfølgninger i kø, mens Codex kører, eller afbryd den aktuelle kørsel","settings.general.followUpQueueMode.interrupt":"Styr","settings.general.followUpQueueMode.label":"Adfærd for opfølgning","settings.general.followUpQueueMode.queue":"Kø","settings.general.notifications":"Notifikationer","settings.general.power.preventSleepWhileRunning.description":"Hold din computer tændt, mens Codex kører en tråd.","settings.general.power.preventSleepWhileRunning.label":"Undgå dvale, mens den kører","settings.git.branchPrefix.ariaLabel":"Branch-præfiks","settings.git.branchPrefix.description":"Præfiks bruges, når du opretter nye branches i Codex","settings.git.branchPrefix.label":"Branch-præfiks","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Det var ikke muligt at gemme branch-præfikset","settings.git.branchPrefix.save.success":"Branch-præfikset blev gemt","settings.git.commitInstructions.ariaLabel":"Indsættelsesinstruktioner","settings.git.commitInstructions.description":"Tilføjet til forespørgsler om generering af indsættelsesbeskeder","settings.git.commitInstructions.label":"Indsættelsesinstruktioner","settings.git.commitInstructions.placeholder":"Tilføj vejledning til indsættelsesbesked ...","settings.git.commitInstructions.save":"Gem","settings.git.commitInstructions.save.error":"Det var ikke muligt at gemme indsættelsesinstruktioner","settings.git.commitInstructions.save.success":"Gemte indsættelsesinstruktioner","settings.git.forcePush.ariaLabel":"Gennemtving altid push","settings.git.forcePush.description":"Brug --force-with-lease, når du pusher fra Codex","settings.git.forcePush.label":"Gennemtving altid push","settings.git.forcePush.save.disabled":"Gennemtving altid push blev deaktiveret","settings.git.forcePush.save.enabled":"Gennemtving altid push blev aktiveret","settings.git.forcePush.save.error":"Det var ikke muligt at gemme indstillingen Gennemtving push","settings.git.prInstructions.ariaLabel":"Instruktioner til pull-anmodning","settings.git.prInstructions.description":"Tilføjet til pull-anmodningstekster oprettet af Codex","settings.git.prInstructions.label":"Instruktioner til pull-anmodning","settings.git.prInstructions.placeholder":"Tilføj vejledning til pull-anmodning ...","settings.git.prInstructions.save":"Gem","settings.git.prInstructions.save.error":"Det var ikke muligt at gemme instruktioner til pull-anmodning","settings.git.prInstructions.save.success":"Gemte instruktioner til pull-anmodning","settings.ide.defaultOpenTarget.description":"Hvor filer og mapper åbner som standard","settings.ide.defaultOpenTarget.label":"Åbn destination som standard","settings.ide.defaultOpenTarget.placeholder":"Der blev ikke fundet nogen targets","settings.ide.language.auto":"Genkend automatisk","settings.ide.language.autoOption":"Genkend automatisk","settings.ide.language.description":"Sprog i appens UI","settings.ide.language.label":"Sprog","settings.ide.language.search":"Søg i sprog","settings.layout.actionButton":"Start udvidelse igen","settings.layout.actionTitle":"Indstillinger med handling","settings.layout.fullWidthTitle":"Indstillinger (fuld bredde)","settings.layout.title":"Indstillinger","settings.localEnvironments.actions.add":"Tilføj handling","settings.localEnvironments.actions.add.description":"Opret en ny kommando for at køre fra værktøjslinjen.","settings.localEnvironments.actions.add.save":"Gem","settings.localEnvironments.actions.empty":"Tilføj en handling for at køre kommandoer fra den lokale værktøjslinje.","settings.localEnvironments.actions.icon.debug":"Fejlsøgning","settings.localEnvironments.actions.icon.run":"Kør","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Værktøj","settings.localEnvironments.actions.item.button.delete":"Slet","settings.localEnvironments.actions.item.command":"Handlingsscript","settings.localEnvironments.actions.item.name":"Navn","settings.localEnvironments.actions.item.platforms":"Platforme","settings.localEnvironments.actions.item.platforms.help":"Kør kun på et specifikt OS.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Valg af platform","settings.localEnvironments.actions.item.platforms.specific":"Platformsspecifik","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Slet","settings.localEnvironments.actions.title":"Handlinger","settings.localEnvironments.breadcrumb.back":"Tilbage","settings.localEnvironments.breadcrumb.edit":"rediger","settings.localEnvironments.breadcrumb.root":"Miljøer","settings.localEnvironments.environment.actions.description":"Disse handlinger kan køre på enhver kommando og vil blive vist i headeren.","settings.localEnvironments.environment.actionsLabel":"Handlinger","settings.localEnvironments.environment.create":"Opret lokalt miljø","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"Rediger lokalt miljø","settings.localEnvironments.environment.empty":"Der er ikke konfigureret noget lokalt miljø for dette projekt endnu.","settings.localEnvironments.environment.name":"Navn","settings.localEnvironments.environment.setup":"Indstillingsskript","settings.localEnvironments.environment.setup.description":"Dette script kører på arbejdstræoprettelse.","settings.localEnvironments.environment.setup.hint":"Kører i projektroden.","settings.localEnvironments.environment.setup.platformOverrides":"Tilsidesættelser af platform","settings.localEnvironments.environment.setup.platformOverrides.add":"Tilføj {platform}-indstillingsscript","settings.localEnvironments.environment.setup.platformOverrides.description":"Overskrider standardscriptet for specifikke operativsystemer","settings.localEnvironments.environment.setup.platformOverrides.remove":"Fjern","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Miljø-oplysninger","settings.localEnvironments.file.missing":"Gem for at oprette denne fil første gang.","settings.localEnvironments.file.parseError":"Det er ikke muligt at læse den eksisterende fil. Hvis du gemmer den, bliver den overskrevet. ({error})","settings.localEnvironments.file.path":"Fil: {path}","settings.localEnvironments.file.readError":"Det var ikke muligt at indlæse lokale miljødata. ({error})","settings.localEnvironments.file.title":"Lokal miljøfil","settings.localEnvironments.loading.body":"Henter din projektkonfiguration.","settings.localEnvironments.loading.title":"Indlæser lokale miljøer","settings.localEnvironments.preview.devOnly":"(kun UDVIKLERE)","settings.localEnvironments.preview.save":"Gem","settings.localEnvironments.preview.saveError":"Det var ikke muligt at gemme opgaven. ({error})","settings.localEnvironments.preview.title":"Forhåndsvisning","settings.localEnvironments.save.disabled.name":"Tilføj et miljønavn for at gemme.","settings.localEnvironments.save.disabled.noChanges":"Ingen ændringer at gemme.","settings.localEnvironments.save.disabled.saving":"Gemmer ...","settings.localEnvironments.save.success":"Gemt lokalt miljø","settings.localEnvironments.unavailable.body":"Vi kunne ikke indlæse lokale miljøindstillinger for dette projekt.","settings.localEnvironments.unavailable.title":"Lokale miljøer er ikke tilgængelige","settings.localEnvironments.workspace.add":"Tilføj projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Tilføj miljø","settings.localEnvironments.workspaceSelect.description":"Lokale miljøer fortæller Codex, hvordan arbejdstræer skal indstilles for et projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ingen projekter endnu. Tilføj et for at konfigurere lokale miljøer.","settings.localEnvironments.workspaceSelect.errorLabel":"Miljøet kræver din opmærksomhed","settings.localEnvironments.workspaceSelect.learnMore":"Se mere","settings.localEnvironments.workspaceSelect.listLabel":"Tilgængelige projekter","settings.localEnvironments.workspaceSelect.loading":"Indlæser projekter.","settings.localEnvironments.workspaceSelect.loadingLabel":"Indlæser miljø","settings.localEnvironments.workspaceSelect.title":"Vælg et projekt","settings.localEnvironments.workspaceSelect.viewAction":"Vis","settings.mcp.addServer":"Tilføj server","settings.mcp.app.configure":"Konfigurer","settings.mcp.app.connect":"Opret forbindelse","settings.mcp.apps.refresh":"Genindlæs","settings.mcp.detail.addArgument":"Tilføj argument","settings.mcp.detail.addEnvVar":"Tilføj miljøvariabel","settings.mcp.detail.addEnvVarPassthrough":"Tilføj variabel","settings.mcp.detail.args":"Argumenter","settings.mcp.detail.back":"Tilbage","settings.mcp.detail.command":"Kommando, der skal køres","settings.mcp.detail.cwd":"Arbejdsmappe","settings.mcp.detail.docs":"Åbn MCP-dokumentation","settings.mcp.detail.docs.link":"Dokumenter","settings.mcp.detail.envVarPassthrough":"Gennemgang for miljøvariabler","settings.mcp.detail.envVars":"Miljøvariabler","settings.mcp.detail.http.addEnvHeader":"Tilføj variabel","settings.mcp.detail.http.addHeader":"Tilføj overskrift","settings.mcp.detail.http.bearerToken":"Bearer-token env var","settings.mcp.detail.http.envHeaders":"Overskrifter fra miljøvariabler","settings.mcp.detail.http.headers":"Overskrifter","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Navn","settings.mcp.detail.save":"Gem","settings.mcp.detail.switchTransportNotice":"Hvis du vil skifte MCP-servertype, skal du først afinstallere.","settings.mcp.detail.titleExisting":"Opdater {name} MCP","settings.mcp.detail.titleNew":"Opret forbindelse til en tilpasset MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Afinstaller","settings.mcp.empty":"Ingen tilpassede MCP-servere tilknyttet","settings.mcp.myServers":"Tilpassede servere","settings.mcp.partnerServer.description.figma":"Generer bedre kode ved at bruge fuld Figma-kontekst","settings.mcp.partnerServer.description.github":"Integrer med GitHubs API’er for at automatisere arbejdsgange og udtrække data","settings.mcp.partnerServer.description.linear":"Integrer med Linears problemhåndtering og projektledelse","settings.mcp.partnerServer.description.notion":"Læs dokumenter, opdater sider, administrer opgaver","settings.mcp.partnerServer.description.playwright":"Integrer browser-automatisering for at implementere design og teste UI.","settings.mcp.partnerServer.install":"Installer","settings.mcp.partnerServer.installAndAuthenticate":"Installer og godkend","settings.mcp.partnerServer.logoAlt":"{label}-logo","settings.mcp.partnerServer.manage":"Administrer","settings.mcp.partnerServer.vendor":"af {vendor}","settings.mcp.recommendedServers":"Anbefalede servere","settings.mcp.restartApp":"Genstart","settings.mcp.restartExtension":"Start udvidelse igen","settings.mcp.server.enable":"Aktivér","settings.mcp.server.login":"Godkend","settings.mcp.server.settings":"Indstillinger","settings.multiselect.createOption":"Opret “{value}”","settings.multiselect.removeOption":"Fjern","settings.nav.account":"Konto","settings.nav.agent":"Konfiguration","settings.nav.ariaLabel":"Indstillinger","settings.nav.back":"Tilbage til app","settings.nav.data-controls":"Arkiverede tråde","settings.nav.environments":"Cloud-miljøer","settings.nav.externalTooltip":"[alpha] Åbner i browser","settings.nav.general-settings":"Generelt","settings.nav.git-settings":"Git","settings.nav.local-environments":"Miljøer","settings.nav.mcp-settings":"MCP-servere","settings.nav.notImplemented":"[alpha] Endnu ikke tilgængelig i Alpha","settings.nav.personalization":"Personlig tilpasning","settings.nav.skills-settings":"Færdigheder","settings.nav.usage-analytics":"Brug og analyse","settings.nav.worktrees":"Arbejdstræer","settings.openSourceLicenses.back":"Tilbage","settings.openSourceLicenses.loading":"Indlæser ...","settings.openSourceLicenses.missing":"Der blev ikke fundet nogen tredjepartsmeddelelser.","settings.openSourceLicenses.notSupported":"Ikke tilgængelig i denne host.","settings.openSourceLicenses.rowDescription":"Tredjepartsmeddelelser til samlede afhængigheder","settings.openSourceLicenses.rowLabel":"Open source-licenser","settings.openSourceLicenses.subtitle":"Tredjeparts meddelelser til afhængigheder er inkluderet i denne app","settings.openSourceLicenses.title":"Open source-licenser","settings.openSourceLicenses.view":"Vis","settings.personalization.agents.description":"Rediger instruktioner, der skræddersyr Codex til dig. {learnMore}","settings.personalization.agents.learnMore":"Se mere","settings.personalization.agents.loadError":"Det var ikke muligt at indlæse agents.md.","settings.personalization.agents.loading":"Indlæser agents.md ...","settings.personalization.agents.placeholder":"Tilføj dine tilpassede instruktioner ...","settings.personalization.agents.retry":"Prøv igen","settings.personalization.agents.save":"Gem","settings.personalization.agents.save.error":"Det var ikke muligt at gemme agents.md","settings.personalization.agents.save.success":"Gemte agents.md","settings.personalization.agents.title":"Brugerdefinerede instruktioner","settings.personalization.personality.description":"Vælg en standardtone for Codex-svar","settings.personalization.personality.label":"Personlighed","settings.sample.contentBody":"Brug dette layout til at komponere dine indstillingspaneler med ensartede mellemrum.","settings.sample.contentTitle":"Eksempel på indholdsblok","settings.section.account":"Konto","settings.section.agent":"Konfiguration","settings.section.data-controls":"Arkiverede tråde","settings.section.environments":"Cloud-miljøer","settings.section.external":"Åbnes i din browser i forbindelse med Alpha","settings.section.general-settings":"Generelt","settings.section.git-settings":"Git","settings.section.local-environments":"Miljøer","settings.section.mcp-settings":"MCP-servere","settings.section.mcp-settings.docs":"Dokumenter","settings.section.mcp-settings.subtitle":"Tilknyt eksterne værktøjer og datakilder","settings.section.personalization":"Personlig tilpasning","settings.section.skills-settings":"Færdigheder","settings.section.unavailable":"Endnu ikke tilgængelig i Alpha","settings.section.usage-analytics":"Brug og analyse","settings.section.worktrees":"Arbejdstræer","settings.threadDetail.description":"Vælg, hvor meget kommando-output der skal vises i tråde","settings.threadDetail.label":"Trådoplysninger","settings.worktrees.conversation.untitled":"Samtale uden titel","settings.worktrees.delete.error":"Det var ikke muligt at slette arbejdstræet","settings.worktrees.empty.body":"Arbejdstræer, der er oprettet af Codes, vises her.","settings.worktrees.empty.title":"Ingen arbejdstræer endnu","settings.worktrees.error.body":"Der opstod en fejl under indlæsningen af arbejdstræer.","settings.worktrees.error.retry":"Prøv igen","settings.worktrees.error.title":"Det var ikke muligt at indlæse arbejdstræerne","settings.worktrees.loading.body":"Henter oplysninger om arbejdstræer.","settings.worktrees.loading.title":"Indlæser arbejdstræer","settings.worktrees.repository.loading":"Indlæser metadata om lagringssted ...","settings.worktrees.repository.unknown":"Ukendt lagringssted","settings.worktrees.row.conversations":"Samtaler","settings.worktrees.row.conversations.empty":"Der er ingen samtaler tilknyttet dette arbejdstræ.","settings.worktrees.row.conversations.loading":"Indlæser samtaler ...","settings.worktrees.row.delete":"Slet","settings.worktrees.row.title":"Arbejdstræ","sidebarElectron.addWorkspaceRoot":"Tilføj nyt projekt","sidebarElectron.archiveThread":"Arkiver tråd","sidebarElectron.archiveThreadError":"Det var ikke muligt at arkivere tråden","sidebarElectron.collapseFolder":"Skjul mappe","sidebarElectron.createStableWorktree.dialog.cancel":"Annuller","sidebarElectron.createStableWorktree.dialog.create":"Opret","sidebarElectron.debugNavLink":"Fejlsøgning","sidebarElectron.editWorkspaceRootOptionName":"Rediger navn","sidebarElectron.expandFolder":"Udvid mappe","sidebarElectron.groupByMenu.recency":"Kronologisk liste","sidebarElectron.groupByMenu.title":"Organiser","sidebarElectron.groupByMenu.workspace":"Efter projekt","sidebarElectron.inboxRouteNavLink":"Automatiseringer","sidebarElectron.markThreadUnread":"Markér som ulæst","sidebarElectron.missingWorkspaceRoot":"Denne projektmappe blev slettet eller flyttet","sidebarElectron.newThread":"Ny tråd","sidebarElectron.newThreadInGroup":"Start ny tråd i {folder}","sidebarElectron.noRecentThreads":"Ingen nylige tråde","sidebarElectron.noTasks":"Ingen tråde","sidebarElectron.noTasks.start":"Tilføj nyt projekt","sidebarElectron.noTasksWithFilter":"Ingen tråde matcher filtre","sidebarElectron.pinnedThreads":"Fastgjorte tråde","sidebarElectron.recentNavLink":"Tråde","sidebarElectron.recentThreads":"Nyeste tråde","sidebarElectron.removeWorkspaceRootOption":"Fjern","sidebarElectron.renameThread":"Omdøb tråd","sidebarElectron.renameThreadDialogAriaLabel":"Titel på tråd","sidebarElectron.renameThreadDialogCancel":"Annuller","sidebarElectron.renameThreadDialogPlaceholder":"Tilføj en titel ...","sidebarElectron.renameThreadDialogSave":"Gem","sidebarElectron.renameThreadDialogSubtitle":"Hold den kort og genkendelig.","sidebarElectron.renameThreadDialogTitle":"Omdøb tråd","sidebarElectron.renameThreadError":"Tråden kunne ikke omdøbes.","sidebarElectron.renameWorkspaceRootOptionLabel":"Visningsnavn","sidebarElectron.showLess":"Vis mindre","sidebarElectron.showMenu.all":"Alle tråde","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Vis kun seneste tråde for den nuværende forgrening, arbejdstræer eller andre tråde, som kræver din opmærksomhed","sidebarElectron.showMenu.title":"Vis","sidebarElectron.showMenu.tooltip":"Filtrer, sortér og organiser tråde","sidebarElectron.showMenu.trigger":"Filtrer tråde i sidebjælke","sidebarElectron.showMore":"Vis mere","sidebarElectron.skillsRouteNavLink":"Færdigheder","sidebarElectron.sortMenu.created":"Oprettet","sidebarElectron.sortMenu.title":"Sortér efter","sidebarElectron.sortMenu.updated":"Opdateret","sidebarElectron.taskNavigation":"Automatiseringsmapper","sidebarElectron.tasksInFolder":"Automatiseringer i {folder}","sidebarElectron.workspaceOptions":"Projekthandlinger for {folder}","sidebarElectron.worktreeGroupTooltip":"Dette er et git-arbejdstræ","skills.appsPage.createSkill":"Ny færdighed","skills.appsPage.empty.skills":"Ingen færdigheder fundet","skills.appsPage.search.skills":"Søg i færdigheder","skills.appsPage.search.skills.label":"Søg i færdigheder","skills.appsPage.section.installedApps":"Installerede","skills.appsPage.section.skills":"Færdigheder","skills.appsPage.subheading":"Giv Codex superkræfter.<link>Se mere</link>","skills.appsPage.tab.recommended":"Anbefalet","skills.appsPage.tab.skills":"Færdigheder","skills.card.contentsError":"Det var ikke muligt at indlæse færdighedsindholdet.","skills.card.disable":"Deaktiver","skills.card.disableSuccess":"{skillName} færdighed blev deaktiveret","skills.card.disabledBadge":"Deaktiveret","skills.card.enable":"Aktivér","skills.card.enableSuccess":"{skillName} færdighed blev aktiveret","skills.card.loadingContents":"Indlæser færdighedsindhold ...","skills.card.more":"Flere handlinger","skills.card.open":"Åbn","skills.card.removeFailed":"Det var ikke muligt at ikke afinstallere færdigheden","skills.card.removeSuccess":"{skillName} færdighed blev afinstalleret","skills.card.toggleEnabledError":"Det var ikke muligt at opdatere færdigheden","skills.card.try":"Prøv","skills.card.trySkill":"Prøv færdighed","skills.card.uninstall":"Afinstaller","skills.hero.dotLabel":"Gå til slide {index}","skills.hero.next":"Næste fremhævede færdighed","skills.hero.trySkill":"Prøv færdighed","skills.page.createSkill":"Ny færdighed","skills.page.empty":"Ingen færdigheder fundet","skills.page.filteredEmpty":"Der er ingen færdigheder, der passer til dine filtre","skills.page.filteredEmptyDescription":"Prøv at justere dine søgninger eller områdefiltre","skills.page.heading":"Færdigheder","skills.page.loading":"Indlæser færdigheder ...","skills.page.refreshSkills":"Genindlæs","skills.page.refreshSkillsToUseNew":"Genindlæs for at bruge nye færdigheder","skills.page.search":"Søg i færdigheder","skills.page.search.label":"Søg i færdigheder","skills.page.subheading":"Giv Codex superkræfter.<link>Se mere</link>","skills.preview.copyPrompt":"Kopiér forespørgsel","skills.preview.examplePrompt":"Eksempel på forespørgsel","skills.recommended.error":"Anbefalede færdigheder kunne ikke indlæses","skills.recommended.install":"Installer","skills.recommended.installSkill":"Installer færdighed","skills.recommended.installSuccess":"{skillName} færdighed blev installeret","skills.recommended.installed":"Installerede","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Installeret af admin","skills.scope.builtIn":"System","skills.scope.personal":"Personlig","skills.scope.repo":"Lagringssted","skills.scope.system":"System","skills.scope.team":"Team","skills.scope.user":"Bruger","skills.section.installed":"Installerede","skills.section.recommended":"Anbefalet","story.slidingToggle.existing":"Eksisterende","story.slidingToggle.fromLocal":"Fra lokal","story.slidingToggle.new":"Ny","story.slidingToggle.toLocal":"Til lokal","terminal.close":"Luk terminal","terminal.title":"Terminal","thinkingShimmer.default":"Tænker","threadEnvIcon.cloudTooltip":"Denne samtale kører i Codex Cloud.","threadEnvIcon.localTooltip":"Denne samtale kører lokalt.","threadEnvIcon.worktreeTooltip":"Denne samtale kører i et lokalt git-arbejdstræ.","threadHeader.archiveConfirmCancel":"Annuller","threadHeader.archiveConfirmConfirm":"Arkivér","threadHeader.copySessionId":"Kopiér sessions-ID","threadHeader.copyWorkingDirectory":"Kopiér arbejdsmappe","threadHeader.forkIntoLocal":"Fordel lokalt","threadHeader.forkIntoWorktree":"Fordel i nyt arbejdstræ","threadHeader.forkPendingWorktreePrompt":"Fordel denne samtale i et nyt arbejdstræ.","threadHeader.forkPendingWorktreeTitle":"Fordelt samtale","threadHeader.forkThreadError":"Det var ikke muligt at fordele tråden","threadHeader.forkThreadRequiresGitRepo":"Fordeling til et nyt arbejdstræ kræver et git-lagringssted (repo)","threadHeader.moreActions":"Trådhandlinger","threadPage.newThread":"Ny tråd","threadPage.runAction.changeEnvironment":"Skift miljø","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} handlinger","threadPage.runAction.environmentSelector.label":"Vælg miljø","threadPage.runAction.label":"Kør","threadPage.runAction.missing.label":"Indstil en kørselshandling","threadPage.runAction.setup.commandLabel":"Kommando, der skal køres","threadPage.runAction.setup.description":"Fortæl Codex, hvordan afhængigheder skal installeres, og start din app.","threadPage.runAction.setup.editMore":"Miljøindstillinger","threadPage.runAction.setup.placeholder":"f.eks.: nmp install npm run","threadPage.runAction.setup.submit":"Gem og kør","threadPage.runAction.setup.title":"Kør","threadPage.runAction.tooltip.withEnvironment":"{environmentName} handlinger","threadPage.toggleDiffPanel":"Skift panel for forskelle","threadPage.toggleTerminal":"Skift terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Åbn mappe","toolSummaryForCmd.exploredFiles":"<verb>Angivne</verb> filer","toolSummaryForCmd.exploredFilesInPath":"<verb>Angivne</verb> filer i {path}","toolSummaryForCmd.exploringFiles":"<verb>Angiver</verb> filer","toolSummaryForCmd.exploringFilesInPath":"<verb>Angiver</verb> filer i {path}","toolSummaryForCmd.ranGenericCommand":"<status>Kørte kommando</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Kørte</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Læs</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Kører kommando</status>{timer}","toolSummaryForCmd.runningTimer":"til {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Søgte</verb> efter {query}","toolSummaryForCmd.searchedForFiles":"<verb>Søgte</verb> efter filer","toolSummaryForCmd.searchedForInPath":"<verb>Søgte</verb> efter {query} i {path}","toolSummaryForCmd.searchingFor":"<verb>Søger</verb> efter {query}","toolSummaryForCmd.searchingForFiles":"<verb>Søger</verb> efter filer","toolSummaryForCmd.searchingForInPath":"<verb>Søger</verb> efter {query} i {path}","traceRecording.startDetails.cancel":"Annuller","wham.diff.addComment":"Tilføj kommentar","wham.diff.binaryFile":"Den binære fil vises ikke","wham.diff.noContent":"Intet indhold","wham.fileTag.deleted":"Slettet","wham.fileTag.new":"Ny","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} t","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} md.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} uge","wham.formattedRelativeDateTime.compactYearsAgo":"{value} år","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Arbejder på din opgave","wham.whamProposedTask.title":"Foreslået opgave","wham.whamProposedTask.useSuggestion":"Brug forslag","workspaceRootDialog.addError":"Det var ikke muligt at tilføje projektet","workspaceRootDialog.cancel":"Annuller","workspaceRootDialog.confirmAdd":"Tilføj projekt","workspaceRootDialog.confirmPick":"Brug projekt","workspaceRootDialog.description":"Indtast en sti på {host} for at bruge det som projekt.","workspaceRootDialog.pathLabel":"Projektsti","workspaceRootDialog.pathPlaceholder":"/hjem/dig/projekt","workspaceRootDialog.title.add":"Tilføj projektsti","workspaceRootDialog.title.pick":"Vælg projektsti","worktreeInitV2.cancel":"Annuller","worktreeInitV2.notification.failedTitle":"Indstilling af arbejdstræet mislykkedes","worktreeInitV2.output.empty":"Venter på output ...","worktreeInitV2.status.error":"Indstillingen af arbejdstræet mislykkedes mislykkedes.","worktreeInitV2.status.running":"Opretter et arbejdstræ, og kører indstilling.","worktreeInitV2.status.runningFork":"Opretter et arbejdstræ for at fordele denne samtale.","worktreeInitV2.status.success":"Arbejdstræet er klar.","worktreeInitV2.title":"Opretter arbejdstræ","worktreeInitV2.workLocallyInstead":"Arbejd lokalt i stedet for","worktreeRestoreBanner.body":"Trådens arbejdstræ blev flyttet for at spare diskplads","worktreeRestoreBanner.missing.body":"Denne tråds arbejdsmappe findes ikke længere","worktreeRestoreBanner.missing.title":"Den nuværende arbejdsmappe mangler","worktreeRestoreBanner.restore.error":"Det var ikke muligt at gendanne arbejdstræet: {message}","worktreeRestoreBanner.restore.success":"Arbejdstræet blev gendannet","worktreeRestoreBanner.restoreCta":"Gendan arbejdstræ","worktreeRestoreBanner.title":"Arbejdstræet blev ryddet op"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopiér","app.sidebar.hide":"Skjul sidebjælke","app.sidebar.show":"Vis sidebjælke","app.sidebar.tooltip":"Skift sidebjælke","appHeader.installUpdate":"Opdater","appSunset.body":"Denne version af appen er ikke længere understøttet. Downloaded den seneste version <here>her</here>.","appSunset.title":"Opdatering er påkrævet","automation.updateDirective.create":"Opret","automation.updateDirective.open":"Åbn","automation.updateDirective.untitled":"Unavngivet automatisering","automation.updateDirective.update":"Opdater","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# forsøg} other {# forsøg}}","cloudTaskRow.archiveError":"Det var ikke muligt at arkivere opgaven","code.diff.requestChange":"Anmod om ændring","code.diffComment.cancel":"Annuller","code.diffComment.comment":"Kommentér","code.diffComment.delete":"Slet","code.diffComment.save":"Gem","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Ingen resultater rapporteret.","codex.alert.closeAriaLabel":"Luk","codex.appUpsellBanner.cbpApi.message":"Byg hurtigere med Codex-appen. Download nu eller {learnMoreLink}.","codex.appUpsellBanner.download":"Download","codex.appUpsellBanner.freeGo.message":"Codex er inkluderet i dit abonnement indtil 2. marts. Prøv Codex-appen til at bygge hurtigere.","codex.appUpsellBanner.later":"Senere","codex.appUpsellBanner.learnMoreLowercase":"se mere","codex.appUpsellBanner.new":"Ny","codex.appUpsellBanner.proPlusBusiness.message":"Prøv Codex-appen med dobbelt så meget forbrug indtil 2. april. Download nu eller {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-app","codex.applyDropdown.header.changes":"Ændringer","codex.applyDropdown.header.fileCount":"{count, plural, one {# fil} other {# filer}}","codex.applyDropdown.header.rows":"rækker","codex.applyDropdown.header.title":"Tilføj ændringer","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fil med konflikter:} other {{count} filer med konflikter:}}","codex.applyDropdown.results.empty":"Der blev ikke kopieret nogen filer","codex.applyDropdown.results.skipped":"{count, plural, one {1 fil blev sprunget over:} other {{count} filer blev sprunget over:}}","codex.applyOrRevertBanner.apply":"Tilføj","codex.applyOrRevertBanner.applyMessage":"Vil du anvende ændringerne, og fortsætte lokalt?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Denne opgave blev lavet i {environment}, så den vil muligvis ikke kunne anvendes rent.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Ændringerne blev foretaget i {environment}, så de vil muligvis ikke kunne anvendes rent.","codex.applyOrRevertBanner.reapply":"Anvend igen","codex.applyOrRevertBanner.revert":"Gendan","codex.applyOrRevertBanner.revertMessage":"Vil du fortryde de anvendte ændringer?","codex.applyResultsDialog.applied":"Anvendt rent ({count})","codex.applyResultsDialog.close":"Luk","codex.applyResultsDialog.conflicted":"Med konflikter ({count})","codex.applyResultsDialog.noDetails":"Ingen tilgængelige filoplysninger.","codex.applyResultsDialog.skipped":"Sprang over ({count})","codex.applyResultsDialog.title":"Anvend resultater","codex.archiveInfo":"Se arkiverede chats i {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrolelementer for data","codex.archiveInfo.electron":"Se arkiverede chats i {settingsLink}","codex.archiveInfo.extension":"Se arkiverede chats i din .codex-mappe.","codex.archiveInfo.settingsLink":"Indstillinger","codex.banner.content.description":"Kør opgaver parallelt, følg fremskridt alle steder, og gennemse pull-anmodninger med AI.","codex.banner.content.headline":"Codex klarer det hele.","codex.cloudTaskRow.archiveTask":"Arkiver opgave","codex.cloudTaskRow.confirmArchiveTask":"Bekræft","codex.command.feedback":"Feedback","codex.command.findInThread":"Find","codex.command.forceReloadSkills":"Gennemtving genindlæsning af færdigheder","codex.command.logOut":"Log ud","codex.command.manageTasks":"Administrer opgaver","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Tilbage","codex.command.navigateForward":"Videresend","codex.command.newThread":"Ny tråd","codex.command.nextThread":"Næste tråd","codex.command.openFolder":"Åbn mappe","codex.command.openSkills":"Gå til færdigheder","codex.command.openThreadOverlay":"Pop up-tråd","codex.command.personalitySettings":"Personlighed","codex.command.previousThread":"Tidligere tråd","codex.command.settings":"Indstillinger","codex.command.toggleDiffPanel":"Skift panel for forskelle","codex.command.toggleSidebar":"Skift sidebjælke","codex.command.toggleTerminal":"Skift terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"Konfigurer","codex.commandGroup.navigation":"Navigation","codex.commandGroup.panels":"Paneler","codex.commandGroup.skills":"Færdigheder","codex.commandGroup.thread":"Tråd","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Ingen matches","codex.commandMenu.searchPlaceholder":"Søg i kommandoer","codex.commandMenu.suggestedGroup":"Foreslået","codex.commandMenu.switchWorkspace":"Skift projekt","codex.commandMenu.title":"Kommandomenu","codex.common.retry":"Prøv igen","codex.composer.searchBranches":"Søg i forgreninger","codex.dialog.basic.body":"Dette er en enkel modal dialog, der bruger vores omslag til Radix Dialog.","codex.dialog.basic.cancel":"Annuller","codex.dialog.basic.confirm":"Bekræft","codex.dialog.basic.open":"Åbn dialog","codex.dialog.basic.title":"Eksempel på dialog","codex.dialog.long.close":"Luk","codex.dialog.long.line":"Linje med rullepanel {index} for at demonstrere langt indhold i dialogen.","codex.dialog.long.open":"Åbn lang dialog","codex.dialog.long.title":"Dialog med langt indhold","codex.dialog.unstyled.body":"Denne story viser, hvordan man kan kontrollere styling af dialogindhold.","codex.dialog.unstyled.open":"Åbn ustylet dialog","codex.dialog.unstyled.title":"Ustylet indhold","codex.diff.openInEditorPrompt.openButton":"Åbn i Editor","codex.diff.openInEditorPrompt.singleLine":"Denne fil er for stor til at blive vist her.","codex.diffView.failedToDecodeBase64Diff":"Kunne ikke afkode base64-diff","codex.diffView.filesChanged":"{fileCount, plural, one {# fil blev ændret} other {# filer blev ændret}}","codex.diffView.imagePreviewAlt":"Forhåndsvisning af billede","codex.diffView.imagePreviewEmpty":"Intet billede","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Ingen diff-data","codex.diffView.pdfPreview.nextPage":"Næste side","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Forrige side","codex.diffView.pdfPreviewEmpty":"Ingen forhåndsvisning af PDF","codex.diffView.pdfPreviewError":"Kunne ikke gengive forhåndsvisning af PDF","codex.diffView.richPreviewDisable":"Deaktivér udvidet forhåndsvisning","codex.diffView.richPreviewEnable":"Aktivér udvidet forhåndsvisning","codex.diffView.richPreviewLoading":"Indlæser forhåndsvisning ...","codex.diffView.richPreviewToggle":"Skift udvidet forhåndsvisning","codex.diffView.switchToUnified":"Skift til unified-diff","codex.environmentSelector.noEnvironment":"Intet miljø","codex.environments.environmentSettings":"Miljøindstillinger","codex.environments.learnMore":"Se mere","codex.environments.listError":"Det var ikke muligt at indlæse miljøerne.","codex.environments.noEnvironmentsFound":"Der blev ikke fundet nogen miljøer","codex.environments.searchError":"Det var ikke muligt at søge i miljøer.","codex.errorBoundary.genericError":"Hov, der opstod en fejl","codex.errorBoundary.goHome":"Prøv igen","codex.file.patch.missing":"Kunne ikke lave rettelse for denne fil.","codex.gallery.automations.cwdLabel":"Projekter","codex.gallery.automations.nameLabel":"Navn","codex.gallery.automations.namePlaceholder":"Opsummer en opgave","codex.gallery.automations.promptLabel":"Forespørgsel","codex.gallery.automations.promptPlaceholder":"Beskriv, hvad Codex skal gøre","codex.gallery.dialogs.automation.label":"Automatiseringsdialog","codex.gallery.dialogs.basic.body":"Brug dette layout til almindelige bekræftelser eller korte formularer.","codex.gallery.dialogs.basic.cancel":"Annuller","codex.gallery.dialogs.basic.confirm":"Bekræft","codex.gallery.dialogs.basic.label":"Basal dialog","codex.gallery.dialogs.basic.title":"Dialogeksempel","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Beskriv problemet","codex.gallery.dialogs.feedbackSubmission.bad":"Dårligt resultat","codex.gallery.dialogs.feedbackSubmission.bug":"Fejl","codex.gallery.dialogs.feedbackSubmission.good":"Godt resultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Medtag aktuelle logfiler for Codex-session","codex.gallery.dialogs.feedbackSubmission.label":"Indsendelse af feedback","codex.gallery.dialogs.feedbackSubmission.other":"Andet","codex.gallery.dialogs.feedbackSubmission.placeholder":"Beskriv problemet her","codex.gallery.dialogs.feedbackSubmission.submit":"Indsend","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback blev uploadet. Hvis problemet fortsætter, skal du åbne et GitHub-problem eller nævne et tråd-ID i et eksisterende, åbent problem:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Afvis","codex.gallery.dialogs.feedbackSuccess.label":"Feedback blev modtaget","codex.gallery.dialogs.feedbackSuccess.title":"Feedback blev uploadet","codex.gallery.dialogs.gitApplyResults.applied":"Anvendt rent (2)","codex.gallery.dialogs.gitApplyResults.close":"Luk","codex.gallery.dialogs.gitApplyResults.conflicted":"Konflikt: (1)","codex.gallery.dialogs.gitApplyResults.label":"Anvend resultater","codex.gallery.dialogs.gitApplyResults.title":"Anvend resultater","codex.gallery.dialogs.gitPushError.body":"Træk de seneste ændringer, eller gennemtving push, hvis du ved, at den eksterne historik er sikker at overskrive.","codex.gallery.dialogs.gitPushError.cancel":"Annuller","codex.gallery.dialogs.gitPushError.force":"Gennemtving push","codex.gallery.dialogs.gitPushError.label":"Push-fejl","codex.gallery.dialogs.gitPushError.subtitle":"Din branch er bagud i forhold til oprindelig/primær.","codex.gallery.dialogs.gitPushError.title":"Det var ikke muligt at pushe ændringer","codex.gallery.dialogs.gitRevert.cancel":"Annuller","codex.gallery.dialogs.gitRevert.confirm":"Gendan","codex.gallery.dialogs.gitRevert.label":"Omgør ændringer","codex.gallery.dialogs.gitRevert.skip":"Spørg ikke igen","codex.gallery.dialogs.gitRevert.subtitle":"Denne handling fjerner alle disse ændringer.","codex.gallery.dialogs.gitRevert.title":"Vil du omgøre ændringerne?","codex.gallery.dialogs.longForm.label":"Lang dialog","codex.gallery.dialogs.proseModal.body":"Denne modalstil bruges til længere instruktioner, onboarding eller udvidede indholdsblokke.","codex.gallery.dialogs.proseModal.close":"Luk","codex.gallery.dialogs.proseModal.subtitle":"Del vejledning til længere formularer eller dokumentation her","codex.gallery.dialogs.proseModal.title":"Tekstmodal","codex.gallery.dialogs.submitBlocked.label":"Indsendelse blev blokeret","codex.gallery.dialogs.submitBlocked.message":"Din besked kunne ikke sendes, fordi projektet ikke er tilgængeligt.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Det var ikke muligt at sende beskeden","codex.gallery.dialogs.title":"Dialoger","codex.gallery.dropdown.filterPlaceholder":"Filtrer elementer","codex.gallery.dropdowns.actionRow":"Handlingsrækker","codex.gallery.dropdowns.actionRow.disabled":"Deaktiveret handling","codex.gallery.dropdowns.actionRow.primary":"Primær handling","codex.gallery.dropdowns.actionRow.secondary":"Sekundær handling","codex.gallery.dropdowns.actionRow.trigger":"Vis handlinger","codex.gallery.dropdowns.basic":"Enkel rullemenu","codex.gallery.dropdowns.basic.newFile":"Ny fil","codex.gallery.dropdowns.basic.newFolder":"Ny mappe","codex.gallery.dropdowns.basic.openSettings":"Åbn indstillinger","codex.gallery.dropdowns.basic.title":"Hurtigere handlinger","codex.gallery.dropdowns.basic.trigger":"Åbn menu","codex.gallery.dropdowns.basic.upload":"Upload","codex.gallery.dropdowns.panel":"Paneloverflade","codex.gallery.dropdowns.panel.apply":"Anvend","codex.gallery.dropdowns.panel.body":"Gennemgå diffs, og anvend i dit projekt.","codex.gallery.dropdowns.panel.preview":"Forhåndsvisning","codex.gallery.dropdowns.panel.title":"Tilføj ændringer","codex.gallery.dropdowns.panel.trigger":"Åbn panel","codex.gallery.dropdowns.search":"Søgbar rullemenu","codex.gallery.dropdowns.search.first":"Alpha-kanal","codex.gallery.dropdowns.search.second":"Beta-branch","codex.gallery.dropdowns.search.third":"Lancer kandidat","codex.gallery.dropdowns.search.trigger":"Filtrer elementer","codex.gallery.dropdowns.submenu":"Rullemenu med undermenu","codex.gallery.dropdowns.submenu.optionA":"Projekt alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Tildel ejer","codex.gallery.dropdowns.submenu.secondary":"Flyt til","codex.gallery.dropdowns.submenu.tertiary":"Arkivér","codex.gallery.dropdowns.submenu.trigger":"Vælg handling","codex.gallery.dropdowns.title":"Rullemenuer","codex.gallery.inbox.automations.close":"Luk","codex.gallery.inbox.automations.popover.cardTitle":"Administrer automatiseringer","codex.gallery.inbox.automations.popover.dialogTitle":"Administrer automatiseringer","codex.header.settingsTooltip":"Indstillinger","codex.hunk.patch.error":"Kunne ikke markere","codex.hunk.patch.missing":"Kunne ikke lave rettelse for denne hunk.","codex.hunk.patch.partialSuccess":"Delvis succes","codex.hunk.patch.revertError":"Kunne ikke fjerne","codex.hunk.patch.revertSuccess":"Fjernelse blev gennemført","codex.hunk.patch.success":"Markering blev gennemført","codex.legal.autonomy.details":"Se flere oplysninger i {link}","codex.legal.autonomy.details.link":"Codex-dokumenter","codex.legal.autonomy.title":"Beslut, hvor meget autonomi du vil tildele","codex.legal.backButton":"Tilbage","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt.","codex.legal.cloud.taskOne.title":"Forklar lagringssted til en ny designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8. okt.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Skab et mørkt tema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ret en fejl ved onboarding","codex.legal.continue.apikey":"Fortsæt","codex.legal.continueButton":"Næste","codex.legal.copilot.details":"Bruger dit Cockpit-abonnement til alle modelkald, fakturering og grænser. Brug af Codex-udvidelse er underlagt såvel {oaiTos} som {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Tjenestevilkår for GitHub","codex.legal.copilot.oaiTosLink":"Tjenestevilkår for OpenAI Codex","codex.legal.copilot.title":"Drevet af GitHub Copilot","codex.legal.mistakes.review":"Gennemse koden, den skriver, og kommandoerne, den kører","codex.legal.mistakes.title":"Codex kan lave fejl","codex.legal.powered.details":"Brug dit abonnements forbrugsgrænser og {link}","codex.legal.powered.details.link":"indstillinger for træningsdata","codex.legal.powered.title":"Drevet af din ChatGPT-konto.","codex.legal.step.cloud.subtitle":"Send opgaver til Codex, der kan køre i baggrunden, så du kan holde fokus og arbejde hurtigere.","codex.legal.step.cloud.title":"Overgiv til Codex i skyen","codex.legal.step.intro.subtitle":"Codex navigerer, redigerer, kører kommandoer og udfører test direkte på dit lagringssted. Drevet af din ChatGPT-konto.","codex.legal.step.intro.title":"Codex i dit IDE","codex.legal.step.todo.subtitle":"Skriv en TODO-kommentar, og konverter den til en Codex-opgave med et enkelt klik.","codex.legal.step.todo.title":"Lav TODO’er om til Codex-opgaver","codex.legal.todo.heading":"// TODO: implementér skema","codex.localConversation.closeImagePreview":"Luk forhåndsvisning af billede","codex.localConversation.userImageAttachment":"Billede vedhæftet af bruger","codex.localTaskRow.archiveTask":"Arkiver tråd","codex.localTaskRow.awaitingApproval":"Afventer godkendelse","codex.localTaskRow.awaitingResponse":"Afventer svar","codex.localTaskRow.confirmArchiveTask":"Bekræft","codex.loggedOut.apiKeyPrompt.cancel":"Annuller","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Hent API-nøgle","codex.loggedOut.apiKeyPrompt.inputLabel":"Indtast din OpenAI API-nøgle","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloud-opgaver deaktiveret med API-nøgle","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloud-opgaver deaktiveret med Copilot og API-nøgle","codex.loggedOut.signIn":"Log ind med ChatGPT","codex.loggedOut.signIn.cancel":"Annuller login","codex.loggedOut.signInWithCopilot":"Log ind med GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Brug API-nøgle","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP{tool}-værktøj","codex.mcpTool.collapsedLabel.verb.called":"Hentede","codex.mcpTool.collapsedLabel.verb.calling":"Henter","codex.mcpTool.embeddedResource.contentLabel":"Indhold","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-type","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Værktøjet returnerede intet indhold","codex.mcpTool.rawPayloadHeading":"Rå payload for {server} {tool}-værktøjskald","codex.menu.recent":"Seneste","codex.menu.seeAllHistory":"Se hele historikken","codex.modelCapacityBanner.headline.noReset":"{modelName} er ved kapacitetsgrænsen lige nu. Prøv igen senere, eller start en ny samtale med en anden model.","codex.modelCapacityBanner.headline.withReset":"{modelName} er ved kapacitetsgrænsen lige nu. Prøv igen efter {resetDate}, eller start en ny samtale med en anden model.","codex.modelCapacityBanner.title":"Den valgte model er ved kapacitetsgrænsen","codex.patch.change.contentsDeleted":"Indholdet blev slettet","codex.patch.change.created":"Oprettet","codex.patch.change.created-file":"Oprettede fil","codex.patch.change.creating":"Opretter","codex.patch.change.deleted":"Slettet","codex.patch.change.deleted-file":"Slettede fil","codex.patch.change.deleting":"Sletter","codex.patch.change.edited":"Redigeret","codex.patch.change.edited-file":"Redigeret fil","codex.patch.change.editing":"Redigerer","codex.patch.change.noChanges":"Ingen ændringer","codex.patch.change.rejected-add":"Afvist","codex.patch.change.rejected-delete":"Afvist","codex.patch.change.rejected-edit":"Afvist","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} ud af {total} opgaver fuldført","codex.plan.todoListCreated":"Opgaveliste oprettet med {total} opgaver","codex.profileDropdown.apiKeyAuth":"Logget ind med API-nøgle","codex.profileDropdown.codexSettings":"Indstillinger for Codex","codex.profileDropdown.copilotAuth":"Logget ind med Copilot","codex.profileDropdown.defaultAccountTitle":"Standardkonto","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter for at sende lange forespørgsler","codex.profileDropdown.enterBehaviorError":"Det var ikke muligt at opdatere indstillingen","codex.profileDropdown.getPlus":"Opgrader for højere grænseværdier","codex.profileDropdown.keyboardShortcuts":"Genveje på tastaturet","codex.profileDropdown.language":"Sprog","codex.profileDropdown.languageDefault":"Genkend automatisk","codex.profileDropdown.languageSearchPlaceholder":"Søg i sprog","codex.profileDropdown.languageUpdateError":"Kunne ikke opdatere sprog","codex.profileDropdown.logOut":"Log ud","codex.profileDropdown.mcp":"MCP-indstillinger","codex.profileDropdown.openConfigToml":"Åbn config.toml","codex.profileDropdown.openConfigToml.wsl":"Åbn config.toml i WSL-miljø","codex.profileDropdown.openExtensionSettings":"Åbn indstillinger","codex.profileDropdown.openMcpSettings":"Åbn MCP-indstillinger","codex.profileDropdown.openOnStartup":"Åbn ved start","codex.profileDropdown.openOnStartupError":"Det var ikke muligt at opdatere indstillingen","codex.profileDropdown.openSkillsSettings":"Åbn indstillinger for færdigheder","codex.profileDropdown.personalAccountTitle":"Personlig konto","codex.profileDropdown.queueFollowUps":"Sæt opfølgninger i kø","codex.profileDropdown.queueFollowUpsError":"Det var ikke muligt at opdatere indstillingen","codex.profileDropdown.readDocs":"Læs dokumenter","codex.profileDropdown.readSkillsDocs":"Læs dokumenter","codex.profileDropdown.runInWsl":"Kør i WSL","codex.profileDropdown.runInWslError":"Det var ikke muligt at opdatere indstillingen","codex.profileDropdown.runInWslTooltip":"Kører Codex i WSL. Anbefales for bedre sandkassesikkerhed og bedre ydelse.","codex.profileDropdown.settings":"IDE-indstillinger","codex.profileDropdown.settingsPage":"Indstillinger","codex.profileDropdown.signInWithOpenAI":"Log ind med ChatGPT","codex.profileDropdown.skills":"Indstillinger for færdigheder","codex.profileDropdown.switchToCopilotAccount":"Brug Copilot-konto","codex.profileDropdown.switchToOpenAIAccount":"Brug OpenAI-konto","codex.profileDropdown.todoCodelens":"Ret TODO-kommentarer","codex.profileDropdown.todoCodelensError":"Det var ikke muligt at opdatere indstillingen","codex.profileDropdown.windowsDocumentation":"Windows-dokumentation","codex.profileFooter.signedInFallback":"Indstillinger","codex.profileFooter.upgrade":"Opgrader","codex.recentTasksMenu.clearSearch":"Ryd søgning","codex.recentTasksMenu.cloud":"Opgaver i skyen","codex.recentTasksMenu.count":"{count, plural, =0 {Ingen opgaver i gang} one {# opgave i gang} other {# opgaver i gang}}","codex.recentTasksMenu.empty":"Endnu ingen tråde","codex.recentTasksMenu.errorCloud":"Opgaverne kunne ikke indlæses.","codex.recentTasksMenu.errorCloud.inline":"Cloud-opgaverne kunne ikke indlæses.","codex.recentTasksMenu.filterAll":"Alle","codex.recentTasksMenu.filterCloudTasks":"Filtrer cloud-opgaver","codex.recentTasksMenu.filterTooltip":"Filtrer opgaver efter miljø","codex.recentTasksMenu.local":"Lokale opgaver","codex.recentTasksMenu.recent":"Alle opgaver","codex.recentTasksMenu.search":"Søg i seneste opgaver","codex.recentTasksMenu.searchEmpty":"Intet resultat","codex.recentTasksMenu.tooltip":"Opgavehistorik","codex.recentTasksMenu.trigger":"Seneste opgaver. {count, plural, one {# i gang} other {# i gang}}","codex.remoteConversation.applyDiff.applyCta":"Tilføj ændringer","codex.remoteConversation.applyDiff.dropdownTitle":"Føj ændringer til en lokal forgrening","codex.remoteConversation.applyDiff.revertCta":"Omgør ændringer","codex.remoteConversation.closeImagePreview":"Luk forhåndsvisning af billede","codex.remoteConversation.codexCloudTask":"Du kigger på en <u>Codex cloud</u>-opgave","codex.remoteConversation.errorWithMessage":"Fejl: {message}","codex.remoteConversation.loadingImage":"Indlæser billede","codex.remoteConversation.openInWeb":"Åbn i web","codex.remoteConversation.streaming":"Sådan kommer du i gang","codex.remoteConversation.turnFailed":"Der opstod en fejl under denne opgave","codex.remoteConversation.turnTab.loading":"Forsøg {number}","codex.remoteConversation.turnTab.title":"Forsøg {number}","codex.remoteConversation.userImageAttachment":"Billede vedhæftet af bruger","codex.remoteConversation.viewPreviousTurns":"Åbn i web","codex.remoteConversation.viewPreviousTurns.buttonText":"Åbn","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Åbn i web","codex.review.copyGitApplyCommand":"Kopiér git-tilføjelseskommando","codex.review.copyGitApplyCommand.toast":"Git-tilføjelseskommando blev kopieret til udklipsholder","codex.review.diffTooLarge.description":"Denne diff er for stor til at vises i Gennemgå.","codex.review.diffTooLarge.title":"Diff er for stor til at blive vist","codex.review.expandOrCollapseDiffButton.collapse":"Skjul alle forskelle","codex.review.expandOrCollapseDiffButton.expand":"Udvid alle forskelle","codex.review.expandOrCollapseDiffMenu.collapse":"Skjul alle forskelle","codex.review.expandOrCollapseDiffMenu.expand":"Vis alle forskelle","codex.review.fileSearch.clear":"Ryd filfilter","codex.review.fileSearch.empty":"Der er ingen filer, der matcher det aktuelle filter.","codex.review.fileSearch.label":"Filtrér filer","codex.review.fileSearch.placeholder":"Filtrér filer ...","codex.review.filesChanged":"{num, plural, =0 {Ingen filer blev ændret} one {# fil blev ændret} other {# filer blev ændret}}","codex.review.find.loadMore":"Indlæs flere matches","codex.review.fullReview.hideFileTree":"Skjul filtræ","codex.review.fullReview.showFileTree":"Vis filtræ","codex.review.header.moreOptions":"Gennemgå muligheder","codex.review.largeDiff.banner":"Stor forskel registreret – viser én fil ad gangen.","codex.review.loadFullFiles.disable":"Indlæs ikke hele filer","codex.review.loadFullFiles.enable":"Indlæs hele filer","codex.review.noDiff":"Filændringer vises her","codex.review.noDiff.gitInit.createRepository":"Opret et Git-lagringssted (repo)","codex.review.noDiff.gitInit.creating":"Opretter ...","codex.review.noDiff.gitInit.error":"Git-init mislykkedes: {message}","codex.review.noDiff.gitInit.success":"Git-lagringssted blev oprettet","codex.review.noDiff.gitRepoRequired.description":"Følg og omgør ændringer i dette projekt","codex.review.noDiff.gitRepoRequired.title":"Opret et Git-lagringssted","codex.review.noDiff.orNoLongerAvailable":"eller de seneste forskelle er ikke længere tilgængelige","codex.review.noDiff.reverted":"Den seneste runde er blevet nulstillet","codex.review.noDiff.revertedOrCommitted":"Den seneste runde er enten blevet nulstillet eller indsendt","codex.review.refreshGitQueries":"Genindlæs","codex.review.revert.file.error":"Det var ikke muligt at gendanne {path}","codex.review.revert.file.partialSuccess":"Gendannede delvist {path}","codex.review.revert.file.success":"Gendannede {path}","codex.review.revert.hunk.error":"Kunne ikke gendanne hunk {hunkNumber} i {path}","codex.review.revert.hunk.partialSuccess":"Gendannede delvist hunk {hunkNumber} i {path}","codex.review.revert.hunk.success":"Gendannede hunk {hunkNumber} i {path}","codex.review.revert.section.error":"Kunne ikke gendanne sektion","codex.review.revert.section.partialSuccess":"Sektionen blev delvist gendannet","codex.review.revert.section.success":"Sektionen blev gendannet","codex.review.revertDialog.cancel":"Annuller","codex.review.revertDialog.confirm":"Bekræft","codex.review.revertDialog.message":"Denne handling fjerner alle disse ændringer.","codex.review.revertDialog.skip":"Spørg ikke igen","codex.review.revertDialog.title":"Vil du omgøre ændringerne?","codex.review.richPreview.disable":"Deaktivér udvidet forhåndsvisning","codex.review.richPreview.enable":"Aktivér udvidet forhåndsvisning","codex.review.source.cloud":"Cloud-ændringer","codex.review.source.local.all":"Alle forgreningsændringer","codex.review.source.local.lastTurn":"Seneste ændringer","codex.review.source.local.uncommitted":"Ikkegennemførte ændringer","codex.review.source.worktree":"Ikke-indsendte ændringer i arbejdstræet","codex.review.stageFilter.empty.staged.description":"Accepter ændringer for at markere dem","codex.review.stageFilter.empty.staged.title":"Ingen markerede ændringer","codex.review.stageFilter.empty.unstaged.description":"Kodeændringer vises her","codex.review.stageFilter.empty.unstaged.title":"Ingen umarkerede ændringer","codex.review.stageFilter.staged":"Markeret","codex.review.stageFilter.staged.count":"Markeret · {count}","codex.review.stageFilter.unstaged":"Fjernet","codex.review.stageFilter.unstaged.count":"Fjernet · {count}","codex.review.switchToSplit":"Skift til opdelt forskel","codex.review.switchToUnified":"Skift til unified-diff","codex.review.toggleDiffView":"Skift visning af forskelle","codex.review.wordDiffs.disable":"Deaktivér ord-diffs","codex.review.wordDiffs.enable":"Aktivér ord-diffs","codex.review.wrap.disable":"Deaktivér ordombrydning","codex.review.wrap.enable":"Aktivér ordombrydning","codex.section.patch.missing":"Det var ikke muligt at lave en rettelse til denne sektion.","codex.shell.collapse":"Skjul shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Shell-indhold kopieret","codex.shell.copy.copyTooltip":"Kopiér shell-indhold","codex.shell.copyCommand":"Kopiér kommando","codex.shell.copyOutput":"Kopiér output","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Udvid shell","codex.shell.name":"Shell","codex.shell.noOutput":"Intet output","codex.signInFailed.message":"Kunne ikke logge ind: {rawMessage}","codex.stories.toast.show":"Vis toast","codex.stories.tooltip.basic":"Dette er et værktøjstip","codex.stories.tooltip.hoverMe":"Før markøren over mig","codex.stories.tooltip.largerOffset":"Dette værktøjstip har en større forskydning","codex.stories.tooltip.offsetButton":"Større forskydning","codex.stories.tooltip.shortcutButton":"Med genvej","codex.stories.tooltip.withShortcut":"Skift terminal","codex.taskRow.title":"Ny tråd","codex.taskRowLayout.confirm":"Bekræft","codex.threadFindBar.chatFilter":"Søg i chats","codex.threadFindBar.close":"Luk resultat","codex.threadFindBar.diffFilter":"Søg i diffs","codex.threadFindBar.label":"Find i tråd","codex.threadFindBar.nextResult":"Næste resultat","codex.threadFindBar.noResults":"0 resultater","codex.threadFindBar.placeholder":"Søg i tråd ...","codex.threadFindBar.placeholder.extension":"Søg i tråd ...","codex.threadFindBar.placeholder.review":"Søg i diff ...","codex.threadFindBar.placeholder.review.extension":"Søg i diff ...","codex.threadFindBar.previousResult":"Forrige resultat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fil blev ændret} other {# filer blev ændret}}","codex.unifiedDiff.inlineLargeFile":"For stor til at gengive indlejret","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Fortryd","codex.unifiedDiff.revertPatchError":"Det var ikke muligt at omgøre ændringerne","codex.unifiedDiff.revertPatchSuccess":"Ændringerne er blevet ført tilbage","codex.unifiedDiff.reviewChangesSuffix":"ændringer","codex.unifiedDiff.reviewShort":"Gennemgå","codex.unifiedDiff.viewDiffTooltip":"Gennemgå","codex.upsellBanner.business.headline":"For at få mere adgang nu, skal du sende en anmodning til din administrator eller vente til {resetDate}","codex.upsellBanner.cbp.headline":"For at få mere adgang nu, skal du sende en anmodning til din administrator.","codex.upsellBanner.cta.addCredits":"Tilføj kreditter","codex.upsellBanner.cta.upgradeAccount":"Opgrader","codex.upsellBanner.cta.viewUsage":"Se brug","codex.upsellBanner.freeOrGo.headline":"Din grænse bliver nulstillet {resetDate}. For fortsat at bruge Codex, skal du opgradere til Plus i dag.","codex.upsellBanner.general.headline":"Din grænse bliver nulstillet {resetDate}.","codex.upsellBanner.general.title":"Du har ikke flere Codex-beskeder","codex.upsellBanner.plus.headline":"Din grænse bliver nulstillet {resetDate}. For fortsat at bruge Codex, skal du tilføje kreditter eller opgradere til Pro i dag.","codex.upsellBanner.pro.headline":"Din grænse bliver nulstillet {resetDate}. Tilføj kreditter for fortsat at bruge Codex nu.","codex.userMessage.autoResolveSync":"Automatisk konfliktløsning","codex.userMessage.commentCount":"{count, plural, one {# kommentar} other {# kommentarer}}","codex.userMessage.copiedAriaLabel":"Kopieret","codex.userMessage.copiedTooltip":"Kopieret","codex.userMessage.copyAriaLabel":"Kopiér besked","codex.userMessage.copyTooltip":"Kopiér","codex.userMessage.implementPlan":"Implementér plan","codex.userMessage.noContent":"(Intet indhold)","codex.userMessage.priorConversation":"Refererer til tidligere samtale","codex.userMessage.reviewMode":"Gennemsynstilstand","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"til {query}","codex.webSearch.summary.verb.completed":"Søgte på internettet","codex.webSearch.summary.verb.inProgress":"Søger på internettet","codex.windowsInstallWslBanner.dismiss":"Afvis","codex.windowsInstallWslBanner.installWslCta":"Aktivér Sandbox","codex.windowsInstallWslBanner.learnMore":"Se mere","codex.windowsSandboxBanner.content":"Agenttilstand bruger en eksperimentel Sandbox i Windows til at begrænse filsystem- og netværksadgang. {sandboxLink}","codex.windowsSandboxBanner.title":"Aktivér Sandbox for agenttilstand","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-indstillinger","codexUpgradeModal.body":"Codex drives nu af GPT-5.2-Codex, vores nyeste banebrydende agentbaserede kodningsmodel. Til kodning er den {link}, og en yderligere forbedring af GPT-5.2.","codexUpgradeModal.close":"Luk","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"hurtigere og mere intelligent","codexUpgradeModal.title":"Codex er lige blevet opgraderet","codexUpgradeModal.tryNewModel":"Prøv GPT-5.2-Codex nu","codexUpgradeModal.useExistingModel":"Fortsæt med nuværende model","commentAttachments.numComments":"{count, plural, one {# kommentar} other {# kommentarer}}","commentAttachments.removeAriaLabel":"Fjern vedhæftede kommentarer","common.close":"Luk","composer.addContext.openFilePickerError":"Det var ikke muligt at åbne filvælger","composer.addContextDropdown.ariaLabel":"Tilføj filer og mere","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Tilføj filer og mere","composer.addPhotosAndFiles":"Tilføj billeder og filer","composer.atMentionList.emptyQuery":"Indtast for at søge efter filer","composer.atMentionList.loading":"Søger ...","composer.atMentionList.noResults":"Ingen resultater","composer.attemptsSelector.option":"{count, plural, one {# version} other {# versioner}}","composer.attemptsSelector.tooltip":"Antal parallelle forsøg som Codex skal gøre","composer.attemptsSelector.trigger":"{count} x","composer.backgroundTerminals.stop":"Stop","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokal","composer.cloudFollowUp.whereRun":"Hvor skal denne opfølgning køre?","composer.cloudTaskCreationError":"Der opstod en fejl under forsøget på at oprette cloud-opgaven","composer.cloudTaskError":"Der opstod en fejl under forsøget på at oprette opgaven","composer.contextWindow.autoCompactionTooltipLine1":"Codex komprimerer automatisk sin kontekst","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontekstvindue:","composer.contextWindowUsageStatusFull":"{usage} % fuld","composer.contextWindowUsageStatusLeft":"{usage} % brugt ({remaining} % tilbage)","composer.contextWindowUsageTooltip":"{usedTokens}k/{contextWindow}k tokens brugt","composer.customCliTooltip":"Bruger en tilpasset eksekverbar CLI-fil","composer.dictation.aria":"Dikter","composer.dictation.cancel.aria":"Stop diktering","composer.dictation.cancel.tooltip":"Stop diktering","composer.dictation.startError":"Det var ikke muligt at starte diktering","composer.dictation.submit.aria":"Transskriber og send","composer.dictation.submit.tooltip":"Transskriber og send","composer.dictation.tooltip":"Hold for at diktere","composer.dictation.transcribeError":"Det var ikke muligt at transskribere lyd","composer.dictation.unsupported":"Diktering er ikke tilgængelig på denne enhed","composer.dropOverlay.holdShift":"Hold på {key} for at slippe","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Opret ny","composer.environmentSelector.error":"Der opstod en fejl under indlæsningen af miljøer","composer.environmentSelector.goBack":"Tilbage til skrivefelt","composer.environmentSelector.title":"Vælg miljø","composer.environmentSelector.tooltip":"Vælg et cloud-miljø","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Vælg en fil","composer.filePicker.selectFiles":"Vælg filer","composer.followerTooltip":"Vend tilbage til det vindue, hvor denne samtale begyndte, for at fortsætte.","composer.footer.branchSwitch.checkoutError":"Det var ikke muligt at skifte branch: {message}","composer.footer.branchSwitch.createAndCheckout":"Opret og udtjek ny branch ...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Indsæt ændringer for at oprette og udtjekke en ny branch","composer.footer.branchSwitch.createBranchError":"Kunne ikke oprette branch: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Navn på branch","composer.footer.branchSwitch.createDialog.branchExistsError":"Branchen findes allerede.","composer.footer.branchSwitch.createDialog.close":"Luk","composer.footer.branchSwitch.createDialog.createAndCheckout":"Opret og tjek ud","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Opret og udtjek ny branch","composer.footer.branchSwitch.createDialog.trailingSlashError":"Branch-navnet må ikke slutte på ”/”.","composer.footer.branchSwitch.tooltip":"Skift branch","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Commit ændringer i {fileCount, plural, one {# fil} other {# filer}} for at tjekke {branchName} ud.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Indsæt","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"ændringer i {fileCount, plural, one {# fil} other {# filer}} for at tjekke {branchName} ud.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Annuller","composer.footer.branchSwitch.uncommittedDialog.commit":"Commit og skift branch ...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Dine ændringer af følgende filer vil blive overskrevet ved udtjekning:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Commit dine ændringer for at fortsætte","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"den valgte branch","composer.footer.branchSwitch.uncommittedDialog.title":"Commit ændringer for at skifte branch","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Ikke indsat: {fileCount, plural, one {# fil} other {# filer}}","composer.forkSlashCommand.description":"Fordel denne tråd til et lokalt eller nyt arbejdstræ","composer.forkSlashCommand.option.local.description":"Fortsæt i en ny, lokal tråd","composer.forkSlashCommand.option.local.title":"Fordel lokalt","composer.forkSlashCommand.option.worktree.description":"Fortsæt i nyt arbejdstræ","composer.forkSlashCommand.option.worktree.title":"Fordel i nyt arbejdstræ","composer.forkSlashCommand.title":"Pitch","composer.imageInputsUnsupported":"Denne model understøtter ikke billedinput. Prøv en anden model.","composer.imageUploadFailed":"Billedet kunne ikke uploades","composer.includeIdeContextDropdown":"Inkluder IDE-kontekst","composer.includeIdeContextDropdown.ariaLabel":"Inkluder IDE-kontekst","composer.localCwdDropdown.addWorkspaceRoot":"Tilføj nyt projekt","composer.localCwdDropdown.noActiveRoot":"Vælg dit projekt","composer.localCwdDropdown.noResults":"Der blev ikke fundet nogen mapper","composer.localCwdDropdown.title":"Vælg dit projekt","composer.localTaskError":"Der opstod en fejl under forsøget på at starte samtalen","composer.mcpSlashCommand.description":"Vis MCP-serverstatus","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Ikke godkendt","composer.mcpStatus.authOauth":"Godkendt (OAuth)","composer.mcpStatus.authToken":"Godkendt (API-nøgle)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Luk","composer.mcpStatus.disabled":"Deaktiveret","composer.mcpStatus.emptyLabel":"Servere:","composer.mcpStatus.emptyValue":"Ingen konfigurerede MCP-servere","composer.mcpStatus.enabled":"Aktiveret","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Det var ikke muligt at indlæse MCP-status","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Skift tilstand","composer.mode.agentMode.custom":"Tilpasset","composer.mode.agentMode.custom.dropdownLabel":"Tilpasset","composer.mode.agentMode.custom.option":"Tilpasset (config.toml)","composer.mode.agentMode.custom.optionLabel":"Tilpasset (config.toml)","composer.mode.agentMode.customInfo.cancel":"Annuller","composer.mode.agentMode.customInfo.cli":"Du kan justere disse indstillinger fra CLI-grænsefladen eller ved at redigere filen direkte.","composer.mode.agentMode.customInfo.confirm":"Brug tilpasset tilstand","composer.mode.agentMode.customInfo.description":"Tilpasset tilstand gælder for godkendelses- og  Sandbox-politikker defineret i din <link>config.toml</link>-fil.","composer.mode.agentMode.customInfo.docs":"Se mere om konfigurering af godkendelses- og Sandbox-politikker i <link>dokumenter om kørselsmiljø</link>.","composer.mode.agentMode.customInfo.refresh":"Alle ændringer træder i kraft, næste gang agenten kører.","composer.mode.agentMode.customInfo.title":"Sådan fungerer tilpasset tilstand","composer.mode.agentMode.fullAccess":"Agent (fuld adgang)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (fuld adgang)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (fuld adgang)","composer.mode.agentMode.fullAccessConfirm.caution":"Vær forsigtig ved tilladelse af fuld adgang. Det øger risikoen for tab af data, lækager eller uventet adfærd markant.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ja, fortsæt alligevel","composer.mode.agentMode.fullAccessConfirm.description":"Når Codex kører med fuld adgang, kan den redigere enhver fil på din computer og køre kommandoer i netværket uden din godkendelse.","composer.mode.agentMode.fullAccessConfirm.goBack":"Annuller","composer.mode.agentMode.fullAccessConfirm.title":"Vil du tillade fuld adgang?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Skift tilstand","composer.mode.agentMode.tooltip.auto":"Læs og rediger filer, og kør kommandoer.","composer.mode.agentMode.tooltip.custom":"Brug de nyeste godkendelses- og sandkassepolitikker defineret i config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex kan redigere filer uden for dette projekt og køre kommandoer med netværksadgang. Vær forsigtig med at bruge dette.","composer.mode.agentMode.tooltip.readOnly":"Kræver godkendelse for at redigere filer og køre kommandoer.","composer.mode.cloud.tooltip":"Arbejd i et cloud-miljø","composer.mode.contactAdmin":"Kontakt din admin for at få øget adgang","composer.mode.local":"Lokal","composer.mode.local.learnMore":"Se mere","composer.mode.local.model.custom":"Tilpasset","composer.mode.local.model.loadingModel":"Indlæser model","composer.mode.local.model.selecrReasoningEffort":"Vælg avanceret tænkning","composer.mode.local.model.selectModel":"Vælg model","composer.mode.local.model.tooltip":"Vælg model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Høj","composer.mode.local.reasoning.low.label":"Lav","composer.mode.local.reasoning.medium.label":"Medium","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Ingen","composer.mode.local.reasoning.xhigh.label":"Ekstra høj","composer.mode.localRemoteWhereRun":"Vælg, hvor opgaven skal køres","composer.mode.newTask.header":"Fortsæt om","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Resterende forbrugsgrænser","composer.mode.rateLimit.hour":"{hours} t","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"Grænse i {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ugentlig grænse} other {{weeks}-ugers grænse}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Ugentligt} other {{weeks}-ugers}}","composer.mode.remote.connectToCloud":"Opret forbindelse til Codex-web","composer.mode.remote.connectToCloudDisabledTooltip":"Konfigurer et miljø via Codex-web for at aktivere muligheden for at sende opgaver til skyen","composer.mode.remote.selectEnvironment":"Vælg miljø","composer.mode.remote.sendToCloud":"Send til skyen","composer.mode.remote.setupViaWeb":"Konfigurer et miljø via Codex-web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Arbejd i cloud-miljø","composer.mode.segmentedToggle.local.tooltip":"Arbejd i dit lokale projekt","composer.mode.segmentedToggle.worktree.tooltip":"Arbejd i et parallelt arbejdstræ","composer.mode.upgradeToPlus":"Opgrader til Plus","composer.mode.upgradeToPro":"Opgrader til Pro","composer.mode.workLocally":"Lokalt projekt","composer.mode.workLocally.currentBranchFallback":"din forgrening","composer.mode.workLocally.tooltip":"Arbejd på {branchName}","composer.mode.worktree":"Nyt arbejdstræ","composer.mode.worktree.submoduleWarning":"Dette lagringssted har Git-undermoduler. oprettelse af et arbejdstræ kan mislykkes","composer.mode.worktree.tooltip":"Opret en kopi af dit lokale projekt for at arbejde parallelt","composer.mode.worktreeSegment":"Arbejdstræ","composer.modelChangeDuringConversationWarning.toast":"Skift af model midt i samtalen vil forringe ydeevnen.","composer.newChat.heading.browser":"Hvad skal vi kode nu?","composer.permissionsDropdown.custom.label":"Tilpasset (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Tilpasset (config.toml)","composer.permissionsDropdown.default.label":"Standardtilladelser","composer.permissionsDropdown.default.optionLabel":"Standardtilladelser","composer.permissionsDropdown.fullAccess.disabled":"Fuld adgang er deaktiveret af requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Rediger tilladelser","composer.personalitySlashCommand.description.friendly":"Varm, samarbejdsvillig og hjælpsom","composer.personalitySlashCommand.description.pragmatic":"Præcis, opgavefokuseret og direkte","composer.personalitySlashCommand.label.friendly":"Venlig","composer.personalitySlashCommand.label.pragmatic":"Pragmatisk","composer.personalitySlashCommand.notApplicableSuffix":"(Gælder ikke for den nuværende model)","composer.personalitySlashCommand.title":"Personlighed","composer.placeholder.cloudFollowUp.directFollowUp":"Opfølgning på denne cloud-opgave","composer.placeholder.cloudFollowUp.local":"Opret en ny, lokal opgave, der refererer til denne cloud-opgave","composer.placeholder.cloudFollowUp.workingTree":"Opret en ny cloud-opgave, som inkluderer din nuværende kode og refererer denne opgave","composer.placeholder.localFollowUp.cloud":"Opfølgning i en ny cloud-opgave","composer.placeholder.localFollowUp.locally":"Spørg efter opfølgende ændringer","composer.placeholder.newTask.cloud":"Bed Codex om at gøre hvad som helst i skyen","composer.placeholder.newTask.doAnything":"Bed Codex om at gøre hvad som helst","composer.placeholder.newTask.locally":"Spørg Codex om alt, @ for at tilføje filer, / for kommandoer","composer.planModeDropdown":"Planlægningstilstand","composer.planModeDropdown.ariaLabel":"Planlægningstilstand","composer.planModeIndicator":"Abonnement","composer.planModeIndicator.hintShortcut":"Cmd + Shift + p","composer.planSlashCommand.disableDescription":"Slå planlægningstilstand fra","composer.planSlashCommand.enableDescription":"Slå planlægningstilstand til","composer.planSlashCommand.title":"Planlægningstilstand","composer.priorContext.label":"Tidligere kontekst","composer.priorContext.removeAriaLabel":"Fjern tidligere kontekst","composer.queuedMessage.delete":"Slet beskeder i kø","composer.queuedMessage.edit":"Rediger besked","composer.queuedMessage.more":"Handlinger for beskeder i kø","composer.queuedMessage.sendNow":"Send nu","composer.queuedMessage.turnOff":"Slå kømulighed fra","composer.reasoningEffort.local.reasoning.tooltip":"Vælg avanceret tænkning","composer.remote.branchStartingPoint":"Hvilken branch skal opgaven starte fra?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Opret en ny opgave, der refererer til denne opgave i skyen.","composer.remote.currentEditsSuffix.useLocal":"med lokale kodeændringer","composer.remote.directFollowUp":"Brug ikke lokale kodeændringer","composer.remote.errorLoadingBranches":"Fejl ved indlæsning af flere branches","composer.remote.fromBranch":"Fra {branch}","composer.remote.fromCurrentBranch":"Fra {branch} (aktuel)","composer.remote.loadingMoreBranches":"Indlæser ...","composer.remote.localFileStateHeading":"Lokal filtilstand","composer.remote.localWorkingTree":"Brug lokale ændringer","composer.remote.startingPoint":"Hvilken kode skal opgaven starte fra?","composer.reviewMode.branches.error":"Kunne ikke indlæse branches","composer.reviewMode.branches.retry":"Prøv igen","composer.reviewMode.gitRoot.error":"Git-root blev ikke fundet","composer.reviewMode.option.baseBranch.simple":"Gennemse mod en base-branch","composer.reviewMode.option.unstaged.simple":"Gennemse ikke-gennemførte ændringer","composer.reviewMode.quickReviewError":"Kunne ikke starte kodegennemgang.","composer.reviewMode.title":"Gennemse kode","composer.sandboxButton.unlock.disabled.tooltip":"Fuld adgang er deaktiveret af requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex kan bruge en eksperimentel sandbox i Windows til at begrænse filsystem- og netværksadgang. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Aktivér Windows-sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Kun læsning","composer.searchEnvironments":"Søg i miljøer","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Indlæser færdigheder ...","composer.skillMentionList.noResults":"Ingen færdigheder fundet","composer.slashCommands.cloudEnvironment.title":"Cloud-miljø","composer.slashCommands.dialogLabel":"Menu for slash-kommandoer","composer.slashCommands.dialogTitle":"Slash-kommandoer","composer.slashCommands.disabledTooltip":"Start en ny samtale for at bruge slash-kommandoer","composer.slashCommands.inputPlaceholder":"Søg","composer.slashCommands.noResults":"Ingen kommandoer","composer.slashCommands.skillsGroup":"Færdigheder","composer.slashCommands.tooltip":"Gennemse slash-kommandoer","composer.status.close":"Luk","composer.statusPlain.alertLabel":"Advarsel:","composer.statusPlain.alertValue":"{remaining} % tilbage. {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} anvendt/{total})","composer.statusPlain.contextValueRemaining":"{remaining} % tilbage","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Grænse i {modelName}:","composer.statusPlain.rateLimitDays":"{count} d. grænse","composer.statusPlain.rateLimitFallbackLabel":"Begrænsning:","composer.statusPlain.rateLimitHours":"{count} t. begrænsning","composer.statusPlain.rateLimitLabelBase":"Begrænsning","composer.statusPlain.rateLimitMinutes":"{count} m. begrænsning","composer.statusPlain.rateLimitPercent":"{remaining} % tilbage","composer.statusPlain.rateLimitReset":"nulstilles {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"tidspunkt for nulstilling er ikke tilgængelig","composer.statusPlain.rateLimitUnavailable":"Ikke tilgængelig","composer.statusPlain.sessionCopiedAriaLabel":"Sessions-ID’et blev kopieret","composer.statusPlain.sessionCopiedTooltip":"ID kopieret","composer.statusPlain.sessionCopyAriaLabel":"Kopiér sessions-ID","composer.statusPlain.sessionCopyTooltip":"Kopiér ID","composer.statusPlain.sessionLabel":"Session:","composer.statusSlashCommand.description":"Vis tråd-ID, kontekstbrug for begrænsninger","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Det var ikke muligt at sende beskeden","composer.submit.emptyMessage":"Indtast en besked for at komme i gang","composer.submit.imageInputsUnsupported":"Fjern billeder, eller skift model for at sende denne besked.","composer.submit.loadingLocalConfig":"Indlæser ...","composer.submit.missingCloudConfig":"Du skal vælge et cloud-miljø","composer.submit.missingCloudTurn":"Det er ikke muligt at følge op på denne opgave","composer.submit.noWorkspace":"Tilføj et projekt for at bruge Codex","composer.submit.waitForImageUploads":"Uploader billeder ...","composer.submitButtonTooltip.send":"Send","composer.submitButtonTooltip.stop":"Stop","composer.worktreeEnvironment.create":"Opret lokalt miljø","composer.worktreeEnvironment.default":"Standardmiljø","composer.worktreeEnvironment.error":"Der opstod en fejl under indlæsningen af miljøer","composer.worktreeEnvironment.loading":"Indlæser miljøer ...","composer.worktreeEnvironment.title":"Lokalt miljø","composer.worktreeEnvironment.tooltip":"Vælg et lokalt miljø","composer.worktreeSetupFailed":"Opsætning af arbejdstræet mislykkedes. Se .codex/environments for et opsætningsscript.","compoundButton.secondaryAction":"Sekundær handling","copyButton.copied":"Kopieret","copyButton.copiedAriaLabel":"Kopieret","copyButton.copy":"Kopiér","copyButton.copyAriaLabel":"Kopiér","copyButton.copyCode":"Kopiér kode","diff.actionButton.revertFile":"Gendan fil","diff.actionButton.revertHunk":"Gendan","diff.actionButton.revertSection":"Gendan alle","diff.actionButton.revertSectionLabel":"Gendan alle","diff.actionButton.stageFile":"Markér fil","diff.actionButton.stageHunk":"Markér ændring","diff.actionButton.stageSection":"Markér alle","diff.actionButton.stageSectionLabel":"Markér alle","diff.actionButton.unstageFile":"Fjern fil","diff.actionButton.unstageHunk":"Fjern ændring","diff.actionButton.unstageSection":"Fjern alle","diff.actionButton.unstageSectionLabel":"Fjern alle","diff.fileHeader.toggle":"Skift fil-diff","electron.onboarding.login.apikey.cancel":"Annuller","electron.onboarding.login.apikey.continue":"Fortsæt","electron.onboarding.login.apikey.label":"OpenAI-API-nøgle","electron.onboarding.login.apikey.open":"Indtast API-nøgle","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Annuller login","electron.onboarding.login.chatgpt.continue":"Fortsæt med ChatGPT","electron.onboarding.login.devbox":"Opret forbindelse til en fjern-SSH","electron.onboarding.login.error":"Det var ikke muligt at logge ind: {rawMessage}","electron.onboarding.login.snake.start":"Spil Snake","electron.onboarding.login.sshConfig.cancel":"Annuller","electron.onboarding.login.sshConfig.continue":"Fortsæt","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-værtsname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Den bedste måde at bygge med agenter","electron.onboarding.login.title":"Velkommen til Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Fortsæt","electron.onboarding.welcome.doubleLimits.description":"I anledning af vores lancering af Codex-appen fordobler vi din grænse indtil 2. april.","electron.onboarding.welcome.freego.description":"Codex er inkluderet gratis i dit abonnement indtil 2. marts – lad os bygge noget sammen.","electron.onboarding.welcome.new.title.anon":"Velkommen!","electron.onboarding.workspace.continue":"Fortsæt","electron.onboarding.workspace.empty":"Tilføj et projekt for at fortsætte.","electron.onboarding.workspace.listLabel":"Tilgængelige projekter","electron.onboarding.workspace.loading":"Indlæser projekter ...","electron.onboarding.workspace.openFolder":"Tilføj projekt","electron.onboarding.workspace.selectAll":"Vælg alle","electron.onboarding.workspace.skip":"Spring over","electron.onboarding.workspace.skip.error":"Kunne ikke oprette et nyt projekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Ukendt fejl","electron.onboarding.workspace.skipping":"Opretter et nyt projekt ...","electron.onboarding.workspace.subtitle":"Codex vil kunne redigere filer og køre kommandoer i udvalgte mapper.","electron.onboarding.workspace.title":"Vælg et projekt","errorPage.list.checkSettings":"Prøv at opdatere dine IDE-indstillinger","errorPage.list.configToml":"Kontrollér din config.toml for ugyldige indstillinger","errorPage.list.downloadExtension":"Prøv at downloade en anden version af udvidelsen","errorPage.list.runInWsl":"Kontrollér dine indstillinger for at deaktivere kørsel i WSL, hvis du løber ind i kompatibilitetsproblemer.","execApprovalRequest.menu.runAlways":"Ja, og spørg ikke igen i denne session","execApprovalRequest.menu.runAlwaysWithAmendment":"Ja, og spørg ikke igen efter kommandoer, der starter med {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ja, og spørg ikke igen efter kommandoer, der starter med","execApprovalRequest.menu.runOnce":"Ja","execApprovalRequest.prompt":"Vil du køre denne kommando?","execApprovalRequest.reject":"Nej","execFooter.exitCode":"Exit-kode {code}","execFooter.exitCode.unknown":"ukendt","execFooter.success":"Succes","feedback.dialog.category.badResult":"Dårligt resultat","feedback.dialog.category.bug":"Fejl","feedback.dialog.category.goodResult":"Godt resultat","feedback.dialog.category.other":"Andet","feedback.dialog.descriptionPlaceholder":"Beskriv problemet her","feedback.dialog.dismiss":"Afvis","feedback.dialog.includeLogsLabel":"Medtag aktuelle logfiler for Codex-session","feedback.dialog.submit":"Indsend","feedback.dialog.submitError":"Vi kunne ikke sende din feedback. Prøv igen om lidt.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"eksisterende åbent problem","feedback.dialog.uploadedMessage.openIssue":"Åbn et GitHub-problem","feedback.dialog.uploadedMessage.withThread":"Feedback blev uploadet. Hvis problemet fortsætter, {openIssueLink} eller nævn trådens ID i en {existingIssueLink}:","feedback.dialog.uploadedTitle":"Feedback blev uploadet","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Fjern {filename}","header.back":"Tilbage","header.recentChats":"Opgaver","header.recentTasks.seeAll":"Vis alle ({total})","home.header.getPlus":"Få Plus","home.hero.letsBuild":"Lad os bygge","homePage.mainContent":"Primært indhold","imageAttachment.defaultName":"billede","imageAttachment.preview.close":"Luk forhåndsvisning af billede","imageAttachment.removeAriaLabel":"Fjern {filename}","implementPlanRequest.option.implement":"Ja, implementér denne plan","implementPlanRequest.prompt":"Vil du implementere denne plan?","inbox.archived.deleteError":"Det var ikke muligt at slette arkiveret kørsel","inbox.archived.deleteRun":"Slet arkiveret kørsel","inbox.archived.deleteSuccess":"Den arkiverede tråd blev slettet. Vis i <settingsLink>Arkiverede tråde</settingsLink>.","inbox.archived.inlineLabel.auto":"Denne tråd blev automatisk arkiveret. <learnMoreLink>Se mere</learnMoreLink>","inbox.archived.inlineLabel.manual":"Denne tråd blev arkiveret.","inbox.archived.noMessageFound":"Der blev ikke fundet nogen besked","inbox.automations.createError":"Det var ikke muligt at oprette automatisering","inbox.automations.deleteConfirm.cancel":"Annuller","inbox.automations.deleteConfirm.confirm":"Slet automatisering","inbox.automations.deleteConfirm.description":"Dette vil slette automatiseringen permanent og stoppe fremtidige kørsler.","inbox.automations.deleteConfirm.title":"Vil du slette {name}?","inbox.automations.deleteError":"Det var ikke muligt at slette automatiseringen","inbox.automations.editTooltip":"Rediger automatisering","inbox.automations.inProgress":"I gang","inbox.automations.new":"Ny","inbox.automations.newToolbar":"Ny automatisering","inbox.automations.pauseTooltip":"Sæt automatisering på pause","inbox.automations.resumeTooltip":"Genoptag automatisering","inbox.automations.startingNow":"Starter nu","inbox.automations.startsIn":"Starter om {startTime}","inbox.automations.status.active":"Aktiv","inbox.automations.status.paused":"Sat på pause","inbox.automations.status.runs":"{count} kørsler","inbox.automations.status.started":"Påbegyndt {date}","inbox.automations.updateError":"Det var ikke muligt at opdatere automatiseringen","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Alle","inbox.filter.ariaLabel":"Filtrer elementer i indbakken","inbox.filter.unread":"Ikke læst","inbox.list.archived":"Arkiveret","inbox.list.inProgress":"I gang","inbox.list.recent":"Fuldført","inbox.list.upNext":"Planlagt","inbox.mode.automations":"Automatiseringer","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Der er ikke angivet nogen beskrivelse","inbox.openThread":"Åbn tråd","inbox.rightPanel.emptySubtitle":"Automatiser dit arbejde med planlagte opgaver","inbox.rightPanel.emptySubtitle.learnMore":"Automatiser dit arbejde med planlagte tråde. <link>Se mere</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktiv automatisering} other {# aktive automatiseringer}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Ingen ulæste automatiseringer","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ulæst automatisering} other {# ulæste automatiseringer}}","inbox.rightPanel.emptyTitle":"Ingen valgte elementer","inbox.rightPanel.noThread":"Ingen tråd for dette element","inbox.rightPanel.quickStart.header":"Start med en skabelon","inbox.untitled":"Uden titel i indbakken","loadingPage.documentationLink":"dokumentation","loadingPage.errorDescription":"Codex gik ned med følgende fejl:","loadingPage.errorDescription.documentation":"Klik på Indlæs igen for at genstarte Codex-udvidelsen, eller gå til {documentationLink} for at få mere hjælp.","loadingPage.errorSignal":"Nogle ting, du kan prøve:","loadingPage.errorTitle":"Der opstod en fejl","loadingPage.openConfigToml":"Åbn config.toml","loadingPage.reload":"Genindlæs","localConversation.contextCompacted":"Konteksten komprimeres automatisk","localConversation.contextCompacting":"Komprimerer kontekst automatisk","localConversation.forkedFromConversation":"Fordelt fra {threadTitle}","localConversation.merge.autoResolve.failed":"Det var ikke muligt at anmode om automatisk konfliktløsning: {error}","localConversation.merge.autoResolve.sent":"Anmodning om automatisk konfliktløsning blev sendt","localConversation.merge.autoResolveMerge.missingConversation":"Det var ikke muligt at løse konflikten automatisk uden en aktiv samtale.","localConversation.merge.autoResolveMerge.request":"Løs automatisk sammenfletningskonflikter","localConversation.modelChanged":"Modellen skiftede fra {fromModel} til {toModel}.","localConversation.modelChanged.warning.line1":"Skift af model midt i samtalen vil forringe ydeevnen.","localConversation.modelChanged.warning.line2":"Konteksten komprimeres automatisk.","localConversation.moveThread.createBranch.label":"Opret forgrening","localConversation.moveToLocal.disabled.loading":"Indlæser ...","localConversation.moveToLocal.modal.continue":"Fortsæt","localConversation.moveToLocal.modal.destinationLabel":"Flyt til","localConversation.moveToLocal.modal.retry":"Prøv igen","localConversation.moveToWorktree.modal.back":"Tilbage","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Branchen findes allerede.","localConversation.moveToWorktree.modal.branchesError":"Kunne ikke indlæse branches","localConversation.moveToWorktree.modal.branchesLoading":"Indlæser branches ...","localConversation.moveToWorktree.modal.branchesRetry":"Prøv igen","localConversation.moveToWorktree.modal.continue":"Fortsæt","localConversation.moveToWorktree.modal.retry":"Prøv igen","localConversation.moveToWorktree.modal.trailingSlashError":"Branch-navnet må ikke slutte på ”/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"Skiftede til {personality}-personlighed","localConversation.planSummary.collapse":"Skjul oversigt over abonnement","localConversation.planSummary.collapseTooltip":"Skjul","localConversation.planSummary.download":"Download plan","localConversation.planSummary.expand":"Udvid oversigt over abonnement","localConversation.planSummary.expandTooltip":"Vis","localConversation.planSummary.openInNewWindow":"Åbn","localConversation.planSummary.openInNewWindow.tooltip":"Åbn i nyt vindue","localConversation.planSummary.title":"Abonnement","localConversation.planSummary.titleWriting":"Skriveplan","localConversation.planSummary.viewPlan":"Vis abonnement","localConversation.remoteTaskCreated":"Oprettet {taskLink} i Codex Cloud","localConversation.remoteTaskCreated.task":"opgave","localConversation.scrollToBottomButton":"Rul ned til bunden","localConversation.sync.buttonLabel":"Overdrag ændring til lokal","localConversation.sync.buttonLabel.tooltip":"Overdrag ændringer mellem dette arbejdstræ og dit lokale checkout.","localConversation.sync.modal.loading.title":"Overdrager ændringer …","localConversation.sync.modal.noChanges":"Ingen ændringer","localConversation.syncSetup.branchAriaLabel":"Navn på branch","localConversation.syncSetup.branchName":"Navn på branch","localConversation.syncSetup.branchPlaceholder.existing":"Vælg eksisterende branch","localConversation.syncSetup.branchPlaceholder.new":"codex/ny-funktion","localConversation.syncSetup.branchesLoading":"Indlæser branches ...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Er allerede tjekket ud","localConversation.syncSetup.checkoutClean":"Er i øjeblikket på {branchName}","localConversation.syncSetup.checkoutDirty":"Er i øjeblikket på {branchName} med ikke-indsendte ændringer","localConversation.syncSetup.checkoutError":"Det var ikke muligt at tjekke forgreningen (branch) ud: {message}","localConversation.syncSetup.checkoutLabel":"Tjek ud lokalt nu","localConversation.syncSetup.checkoutOnLocal":"Overdrag ændring til lokal","localConversation.syncSetup.checkoutPending":"Tjekker lokal status ...","localConversation.syncSetup.checkoutUnavailable":"Det lokale arbejdsområde er ikke tilgængeligt","localConversation.syncSetup.checkoutUnknown":"Den lokale branch er ikke tilgængelig","localConversation.syncSetup.continue":"Fortsæt","localConversation.syncSetup.createBranchError":"Det lykkedes ikke at indstille overdragelsesforgreningen: {message}","localConversation.syncSetup.error":"Der gik noget galt: {message}","localConversation.syncSetup.error.workingTreeMissing":"Det var ikke muligt at tage et snapshot af arbejdstræet. Prøv at overdrage igen.","localConversation.syncSetup.mode.ariaLabel":"Vælg branch-tilstand","localConversation.syncSetup.mode.existing":"Eksisterende branch","localConversation.syncSetup.mode.new":"Ny branch","localConversation.syncSetup.noBranches":"Der blev ikke fundet nogen branches","localConversation.syncSetup.overwriteError":"Forgreningen (branchen) blev oprettet, men den er ikke helt overdraget. Overdrag manuelt, før du tjekker ud lokalt.","localConversation.syncSetup.setPrefix":"Indstillet præfiks","localConversation.syncSetup.subtitle":"Test og rediger ændringer i arbejdstræer lokalt. <a>Se mere</a>","localConversation.syncSetup.success.checkedOut":"Branchen blev oprettet og tjekket ud lokalt","localConversation.syncSetup.success.notCheckedOut":"Forgreningen blev oprettet","localConversation.syncSetup.title":"Overdrag til en lokal forgrening","localConversation.syncWorktreeError.branchAriaLabel":"Navn på branch","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/ny-funktion","localConversation.syncWorktreeError.branchSetup.subtitle":"Vælg en forgrening at overdrage til, og prøv at indlæse ændringer igen.","localConversation.syncWorktreeError.branchSetup.title":"Opdater forgrening","localConversation.syncWorktreeError.branchUpdate.cta":"Opdater og prøv igen","localConversation.syncWorktreeError.branchUpdate.error":"Det var ikke muligt at opdatere forgreningen: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Der gik noget galt: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Forgreningen bliver ikke tjekket ud i noget arbejdstræ.","localConversation.syncWorktreeV2.applyUncommitted":"Anvend","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Du skal tjekke branchen ud lokalt for at anvende ikke-indsendte ændringer","localConversation.syncWorktreeV2.branches.empty":"Der blev ikke fundet nogen branches","localConversation.syncWorktreeV2.branches.loading":"Indlæser branches ...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Skift overdragelsesforgrening","localConversation.syncWorktreeV2.changeBranch.error":"Det var ikke muligt at ændre overdragelsesforgreningen: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Anvendelse mislykkedes","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Overskrivningen af arbejdstræet mislykkedes","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Lokal overskrivning mislykkedes","localConversation.syncWorktreeV2.commandError.back":"Tilbage","localConversation.syncWorktreeV2.commandError.body":"En git-kommando mislykkedes under overdragelsen. Gennemgå outputtet, og prøv igen.","localConversation.syncWorktreeV2.commandError.retry":"Prøv igen","localConversation.syncWorktreeV2.description":"Overfør ændringer mellem lokal og dette arbejdstræ. <a>Se mere</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Vælg overdragelsesretning","localConversation.syncWorktreeV2.error.generic":"Der gik noget galt under overdragelsen. Prøv igen.","localConversation.syncWorktreeV2.localBranchLabel":"Lokal","localConversation.syncWorktreeV2.noChanges":"Beregner ændringer","localConversation.syncWorktreeV2.noChanges.summary":"Ingen ændringer","localConversation.syncWorktreeV2.overwrite.local":"Overskriv lokal","localConversation.syncWorktreeV2.overwrite.worktree":"Overskriv arbejdstræ","localConversation.syncWorktreeV2.partial.action.applyFailed":"Det var ikke muligt at anvende ændringerne","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Det var ikke muligt at overskrive de lokale ændringer","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Det var ikke muligt at overskrive ændringerne i arbejdstræet","localConversation.syncWorktreeV2.partial.appliedLabel":"Anvendt","localConversation.syncWorktreeV2.partial.back":"Tilbage","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Løs konflikter, og prøv igen.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikter","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fil} other {# filer}}","localConversation.syncWorktreeV2.partial.retry":"Prøv igen","localConversation.syncWorktreeV2.partial.skippedLabel":"Sprunget over","localConversation.syncWorktreeV2.stateFailed.generic":"Noget gik galt under hentning af de ændringer i arbejdstræet, der skulle overdrages. Prøv igen.","localConversation.syncWorktreeV2.stateFailed.title":"Det var ikke muligt at indlæse ændringer i arbejdstræet","localConversation.syncWorktreeV2.statusError.diffUnknown":"Det var ikke muligt at indlæse ændringer i arbejdstræet.","localConversation.syncWorktreeV2.statusError.retry":"Prøv igen","localConversation.syncWorktreeV2.statusError.title":"Det var ikke muligt at indlæse ændringerne i den lokale forgrening","localConversation.syncWorktreeV2.statusError.unknown":"Status for forgreningen er ikke tilgængelig lige nu. Prøv igen.","localConversation.syncWorktreeV2.success.apply":"Ændringerne blev anvendt","localConversation.syncWorktreeV2.success.overwrite":"Overdragelsen blev fuldført","localConversation.syncWorktreeV2.title":"Overdrag ændringer","localConversation.syncWorktreeV2.worktreeLabel":"Arbejdstræ","localConversation.userInputRequest.inProgress":"Spørger {count, plural, one {spørgsmål} other {spørgsmål}}","localConversation.userInputRequest.noAnswer":"Der er ikke angivet nogen svar","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Spurgte","localConversation.userInputRequest.summary.count":"{count, plural, one {# spørgsmål} other {# spørgsmål}}","localConversation.workedFor":"Arbejdede i {time}","localConversation.worktreeBranchSetup.action.create":"Opret","localConversation.worktreeBranchSetup.branchAriaLabel":"Navn på branch","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Opret en ny branch","localConversation.worktreeBranchSetup.checkoutDisabled":"Denne branch er allerede blevet tjekket ud kl. {location}","localConversation.worktreeBranchSetup.checkoutError":"Det var ikke muligt at tjekke forgreningen (branch) ud: {message}","localConversation.worktreeBranchSetup.createBranchError":"Det var ikke muligt at indstille forgreningen: {message}","localConversation.worktreeBranchSetup.error":"Der gik noget galt: {message}","localConversation.worktreeBranchSetup.subtitle":"Opret en branch for at indsætte ændringer, push og oprette en PR fra dette arbejdstræ. <a>Se mere</a>","localConversation.worktreeBranchSetup.title":"Arbejd her","localConversationPage.addWorktreeToSidebar.tooltip":"Gem som projekt, så du kan starte nye tråde fra dette arbejdstræ","localConversationPage.addWorktreeToSidebarError":"Det var ikke muligt at tilføje projektet","localConversationPage.commitAndCreatePrModal.errorTitle":"Indsendelse og oprettelse af PR mislykkedes","localConversationPage.commitAndCreatePrModal.successTitle":"PR blev indsendt og oprettet","localConversationPage.commitAndPushModal.errorTitle":"Indsendelse og push mislykkedes","localConversationPage.commitAndPushModal.successTitle":"Indsendte og pushede ændringer","localConversationPage.commitCreatePr.open":"Åbn pull-anmodning","localConversationPage.commitCreatePr.successTitle":"Oprettede PR med dine seneste ændringer","localConversationPage.createBranchButtonLabel":"Branch her","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Opret PR","localConversationPage.createPrModal.createDescription":"Åbn en pull-anmodning for dine seneste ændringer.","localConversationPage.createPrModal.errorTitle":"Pull-anmodningen mislykkedes","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Åbn PR","localConversationPage.createPrModal.successTitle":"Pull-anmodningen blev oprettet","localConversationPage.createPrModal.title":"Opret pull-anmodning","localConversationPage.createPrModal.viewDescription":"Der findes allerede en pull-anmodning for denne branch.","localConversationPage.createPrModal.viewTitle":"Pull-anmodningen er klar","localConversationPage.createPullRequestAuthGh":"Godkend GitHub CLI: run `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Der er ingen tilgængelige oplysninger om forgreningen","localConversationPage.createPullRequestButtonLabel":"Opret PR","localConversationPage.createPullRequestButtonLabel.loading":"Opretter PR ...","localConversationPage.createPullRequestDefaultBranchMissing":"Oplysninger om standard-branch ikke tilgængelig","localConversationPage.createPullRequestError":"Kunne ikke oprette pull-anmodningen","localConversationPage.createPullRequestExistingPullRequest":"Der findes allerede en pull-anmodning for denne branch","localConversationPage.createPullRequestGhStatusMissing":"Indlæser GitHub CLI-status ...","localConversationPage.createPullRequestInstallGh":"Installer GitHub CLI (gh) for at lave pull-anmodninger","localConversationPage.createPullRequestNoRepo":"Der blev ikke fundet et Git-lagringssted","localConversationPage.createPullRequestPushStatusMissing":"Indlæser push-status ...","localConversationPage.createPullRequestSetUpstream":"Push denne branch, før du laver en pull-anmodning","localConversationPage.createPullRequestSuccessToast":"Pull-anmodningen blev oprettet","localConversationPage.createPullRequestSwitchBranch":"Tjek en funktionsforgrening ud før oprettelse af en pull-anmodning","localConversationPage.error.render":"Fejl ved gengivelse af lokal samtale","localConversationPage.error.toast":"Samtalen blev ikke fundet","localConversationPage.forcePushError":"Det var ikke muligt at gennemtvinge push","localConversationPage.generatePullRequestMessageError":"Det var ikke muligt at generere titel og tekst for pull-anmodning","localConversationPage.generatePullRequestMessageFailed":"Kunne ikke generere titel og tekst for pull-anmodning.","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Annuller","localConversationPage.gitActionResult.close":"Luk","localConversationPage.gitActionResult.tryAgain":"Prøv igen","localConversationPage.gitActions":"Git-handlinger","localConversationPage.newChat":"Ny chat","localConversationPage.openInTarget":"Åbn i","localConversationPage.openPrimaryTarget":"Åbn","localConversationPage.planItemsCompleted":"{completedItems} ud af {totalItems, plural, one {# opgave blev fuldført} other {# opgaver blev fuldført}}","localConversationPage.pushAuthError":"Push mislykkedes: godkendelse er påkrævet","localConversationPage.pushBranchMissing":"Der er ingen tilgængelige oplysninger om forgreningen","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Sender ...","localConversationPage.pushError":"Det var ikke muligt at pushe ændringer","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Annuller","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Push dine seneste indsendelser til fjernlagring.","localConversationPage.pushModal.errorTitle":"Push mislykkedes","localConversationPage.pushModal.forcePush":"Gennemtving push","localConversationPage.pushModal.successTitle":"Push blev fuldført","localConversationPage.pushModal.title":"Push-ændringer","localConversationPage.pushModal.tryAgain":"Prøv igen","localConversationPage.pushNoUpstream":"Konfigurer en upstream, før pushing af denne forgrening","localConversationPage.pushNoUpstreamError":"Push mislykkedes: ingen upstream konfigureret","localConversationPage.pushNothingToPush":"Ingen nye commits, der kan pushes","localConversationPage.pushRemoteChangedError":"Push mislykkedes: ekstern har nye commits","localConversationPage.pushRemoteRejectedError":"Push afvist af ekstern","localConversationPage.pushStatusMissing":"Indlæser push-status ...","localConversationPage.pushSuccessToast":"Ændringer blev sendt","localConversationPage.viewPullRequestButtonLabel":"Vis PR","localConversationPage.viewPullRequestButtonLabel.loading":"Indlæser pull-anmodning ...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fil} other {# filer}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liste} other {# lister}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# søgning} other {# søgninger}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Udforsker","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Udforskede","localConversationTurn.exploration.accordion.header.complete.withCounts":"Udforskede {counts}","localConversationTurnStory.showContent":"Vis indhold","localConversationTurnStory.streamContent":"Stream indhold","localConversationTurnStory.toggleReasoning":"Vis ræsonnement","localTaskRow.archiveError":"Det var ikke muligt at arkivere samtalen","localTaskRow.resumeError":"Det var ikke muligt at genoptage opgaven","mermaidDiagram.ariaLabel":"Mermaid-diagram","mermaidDiagram.copySource":"Kopiér havfrue","mermaidDiagram.originalCode":"Mermaid-kildekode","notifications.permissions.description":"Vis meddelelser, når tilladelser for beskeder er påkrævet","notifications.permissions.label":"Aktivér notifikationer for tilladelser","notifications.turnMode.always":"Altid","notifications.turnMode.description":"Indstil, når Codex advarer dig om, at den er færdig","notifications.turnMode.label":"Notifikationer ved afsluttet tur","notifications.turnMode.off":"Aldrig","notifications.turnMode.unfocused":"Kun, når det ikke er i fokus","patchApprovalRequest.approve":"Godkend","patchApprovalRequest.menu.allowAlways":"Ja, og spørg ikke igen i denne session","patchApprovalRequest.menu.allowForSession":"Ja, og spørg ikke igen i denne session","patchApprovalRequest.menu.allowOnce":"Ja","patchApprovalRequest.prompt":"Vil du foretage disse ændringer?","patchApprovalRequest.reject":"Nej","patchApprovalRequest.waitingForApproval":"Afventer godkendelse til at redigere filer","pendingRequest.approvalExec.collapse":"Skjul","pendingRequest.approvalExec.expand":"Vis","pendingRequestStory.toastAnswer":"Svar: {answer}","pendingRequestStory.toastApprovalTitle":"Godkendelsessvar","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Opfølgning sendt","pendingRequestStory.toastNoAnswers":"Der er ikke angivet nogen svar","pendingRequestStory.toastQuestion":"Spørgsmål: {question}","pendingRequestStory.toastUnknownDecision":"Ukendt","pendingRequestStory.toastUserInputTitle":"Indsendte svar","quickAction.request.codeReview.branches.new":"Gennemse ændringerne på {from} mod {to}","quickAction.request.codeReview.uncommitted.new":"Gennemse mine ikke-gennemførte ændringer","reasoningItem.thinking":"Tænker","reasoningItem.thought":"Tanke","reasoningItem.thoughtWithElapsed":"Tænkte i {elapsed}","recentConversations.title":"Seneste samtaler","recentTasks.worktreeInitFailedTitle":"Initiering af worktree mislykkedes","recentTasks.worktreeSettingUpTitle":"Konfigurering af worktree","requestInputPanel.continue":"Fortsæt","requestInputPanel.dismiss":"Afvis","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Skriv her","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nej, og fortæl Codex, hvad den skal gøre anderledes","requestInputPanel.selectedBadge":"Valgte","requestInputPanel.skip":"Spring over","requestInputPanel.submit":"Indsend","review.commit.ariaLabel.includeUnstaged":"Inkluder umarkerede","review.commit.buttonLabel":"Indsæt","review.commit.disabled.committing":"Indsætter ...","review.commit.disabled.loadingDiff":"Indlæser forskelle …","review.commit.disabled.missingContext":"Tilføj noget kontekst for at generere en indsættelsesbesked","review.commit.disabled.noChanges":"Ingen ændringer at committe","review.commit.disabled.noSelection":"Vælg ændringer at committe","review.commit.disabled.unavailable":"Commit er ikke tilgængelig lige nu","review.commit.error":"Kunne ikke indsætte ændringer","review.commit.form.changesToBeCommitted":"Ændringer","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Fortsæt","review.commit.form.title":"Indsæt dine ændringer","review.commit.generate.emptyResponse":"Det var ikke muligt at generere en indsættelsesbesked.","review.commit.generate.failed":"Det var ikke muligt at generere indsættelsesbesked: {error}","review.commit.generate.missingPrompt":"Tilføj noget kontekst for at generere en indsættelsesbesked.","review.commit.includeUnstaged":"Inkluder umarkerede","review.commit.loading.description":"Hæng på, det kan tage et øjeblik ...","review.commit.loading.step.commit.done":"Gennemførte ændringer","review.commit.loading.step.commit.pending":"Indsætter ændringer","review.commit.loading.step.createPr.done":"Oprettede en pull-anmodning","review.commit.loading.step.createPr.pending":"Opretter pull-anmodning","review.commit.loading.step.push.done":"Pushed i branch {branch}","review.commit.loading.step.push.pending":"Pusher i branch {branch}","review.commit.loading.title.commit":"Indsætter ændringer","review.commit.loading.title.createPr":"Opretter en PR","review.commit.loading.title.push":"Pusher ændringer","review.commit.messageLabel":"Indsæt besked","review.commit.messagePlaceholder":"Lad stå tom for automatisk at generere en indsættelsesbesked","review.commit.nextSteps":"Næste trin","review.commit.nextSteps.commit":"Indsæt","review.commit.nextSteps.commitAndCreate":"Indsæt og opret PR","review.commit.nextSteps.commitAndPush":"Indsæt og push","review.commit.nextSteps.prRequiresGh":"Kræver GitHub-CLI: {command}","review.commit.rows.changes":"Ændringer","review.commit.rows.commitCount":"{count, plural, one {# indsættelse} other {# indsættelser}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# indsættelse} other {# indsættelser}} og {stats}","review.commit.rows.fileCount":"{count, plural, one {# fil} other {# filer}}","review.commit.state.error.body":"Der gik noget galt inder indsættelse. Tjek din git-status, og prøv igen.","review.commit.state.error.title":"Indsættelse mislykkedes","review.commit.state.success.title":"Ændringer bliver indsat","review.commit.untracked.loadingStats":"Indlæser statistikker for uovervågede ændringer ...","reviewFindingAttachments.count":"{count, plural, one {# resultat} other {# resultater}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Rediger din konfiguration for at tilpasse agentadfærd","settings.agent.configuration.configToml.docs":"Dokumenter","settings.agent.configuration.subtitle":"Disse indstillinger gælder, uanset hvor Codex bliver anvendt","settings.automations.banner.danger":"Automatiseringer kører med dine standard-sandbox-indstillinger, som i øjeblikket er indstillet til Fuld adgang. Kørsel af automatiseringer i baggrunden med Fuld adgang indebærer en øget risiko, da Codex kan ændre filer, køre kommandoer og få adgang til netværket uden at spørge. Overvej at opdatere sandbox-indstillingerne til arbejdsområdeskrivning og bruge <rulesDocsLink>regler</rulesDocsLink> til selektivt at definere, hvilke kommandoer agenten kan køre med fuld adgang.","settings.automations.banner.defaultHowTo.default":"Automatiseringer kører med dine standardindstillinger for sandbox. Værktøjskald mislykkes, hvis de kræver ændring af filer uden for arbejdsområdet, adgang til netværket eller arbejde med apps på din computer. Du kan selektivt tillade kommandoer at køre uden for sandboxen ved hjælp af <rulesDocsLink>regler</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatiseringer kører med dine standard-sandbox-indstillinger, som kun er indstillet til læsning. Værktøjskald mislykkes, hvis de kræver ændring af filer, adgang til netværket eller arbejde med apps på din computer. Overvej at opdatere sandbox-indstillingerne til skrivning i arbejdsområdet.","settings.automations.cancel":"Annuller","settings.automations.create":"Opret","settings.automations.cwdEmpty":"Der er ingen tilgængelige projektmapper","settings.automations.cwdLabel":"Projekter","settings.automations.cwdPlaceholder":"Vælg en mappe","settings.automations.cwdSubtitle":"Hvis du ønsker, at en automatisering skal køre på en specifik branch, kan du specificere det i din forespørgsel.","settings.automations.delete":"Slet","settings.automations.dialog.editTitle":"Rediger automatisering","settings.automations.dialog.newTitle":"Ny automatisering","settings.automations.dialog.subtitle":"Automatiser tilbagevendende opgaver i baggrunden. Codex tilføjer resultater til indbakken eller arkiverer automatisk opgaven, hvis der ikke er noget at rapportere. <learnMoreLink>Se mere</learnMoreLink>","settings.automations.dialog.title":"Opret automatisering","settings.automations.executionCopy.git":"Automatiseringer kører i baggrunden på dedikerede arbejdstræer.","settings.automations.executionCopy.nonGit":"Automatiseringer i ikke-versionsstyrede projekter kører direkte i projektmappen. Overvej at bruge Git til at aktivere kørsel på arbejdstræer i baggrunden.","settings.automations.executionEnvironment.local":"Lokal","settings.automations.executionEnvironment.worktree":"Arbejdstræ","settings.automations.loading":"Indlæser ...","settings.automations.nameLabel":"Navn","settings.automations.namePlaceholder":"Tjek sentry-problemer","settings.automations.pause":"Pause","settings.automations.promptLabel":"Forespørgsel","settings.automations.promptPlaceholder":"se efter sammenbrud i $Sentry","settings.automations.resume":"Genoptag","settings.automations.rruleSummaryFallback":"Brugerdefineret tidsplan","settings.automations.runNow":"Test","settings.automations.save":"Gem","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} t","settings.automations.scheduleBadge.weekdays":"Hverdage","settings.automations.scheduleBadge.weekends":"Weekender","settings.automations.scheduleHeader":"Tidsplan","settings.automations.scheduleHours":"timer","settings.automations.scheduleLabel":"Kør hver","settings.automations.scheduleMode.daily":"Dagligt","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Tidsangivelse","settings.automations.scheduleSummary.daily":"Hver dag kl. {time}","settings.automations.scheduleSummary.interval":"Hver {count}. t.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dag} other {# dage}}","settings.automations.scheduleSummary.intervalDays":"{interval} kl. {days}","settings.automations.scheduleSummary.intervalHourly":"Hver time","settings.automations.scheduleSummary.singleDay":"{day} kl. {time}","settings.automations.scheduleSummary.weekdays":"Hverdage kl. {time}","settings.automations.scheduleSummary.weekdaysLabel":"hverdage","settings.automations.scheduleSummary.weekends":"Weekender kl. {time}","settings.automations.scheduleSummary.weekendsLabel":"weekender","settings.automations.scheduleSummary.weekly":"{days} kl. {time}","settings.automations.scheduleWeekdays":"Til","settings.automations.weekdayState.excluded":"Ekskluderet","settings.automations.weekdayState.included":"Inkluderet","settings.conversationDetail.steps":"Trin","settings.conversationDetail.steps.description":"Skjul kommandoer og output","settings.conversationDetail.stepsWithCommands":"Trin med kodekommandoer","settings.conversationDetail.stepsWithCommands.description":"Vis kommandoer, skjul output","settings.conversationDetail.stepsWithOutput":"Trin med kodeoutput","settings.conversationDetail.stepsWithOutput.description":"Vis kommandoer, og udvid output","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ingen arkiverede chats.","settings.dataControls.archivedChats.error":"Det var ikke muligt at indlæse arkiverede chats.","settings.dataControls.archivedChats.loading":"Indlæser arkiverede chats ...","settings.dataControls.archivedChats.unarchive":"Genaktiver arkiveret samtale","settings.dataControls.archivedChats.unarchiveError":"Det var ikke muligt at fjerne chatten fra arkivet","settings.dataControls.archivedChats.unarchiveSuccess":"Tråd, der er fjernet fra arkivet. <viewNowLink>Vis nu</viewNowLink>","settings.dataControls.archivedChats.untitled":"Unavngivet chat","settings.editRow.headerPlaceholder":"Nøgle","settings.editRow.removeEntry":"Fjern post","settings.editRow.valuePlaceholder":"Værdi","settings.general.appearance":"Udseende","settings.general.appearance.codeFont":"Skrifttype på kode","settings.general.appearance.codeFont.description":"Tilpas skrifttypen, der bruges til koden på tværs af chats og diffs","settings.general.appearance.codeFontFamily":"Kodens skrifttype","settings.general.appearance.codeFontSize":"Kodens skriftstørrelse","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Få Windows til at bruge en ensfarvet baggrund i stedet for systemgennemsigtighed","settings.general.appearance.opaqueWindows.label":"Brug uigennemsigtig vinduesbaggrund","settings.general.appearance.sansFontFamily":"Sans-skrifttyper","settings.general.appearance.sansFontFamily.description":"Tilpas skrifttypen, der anvendes i Codex UI","settings.general.appearance.sansFontSize":"Sans-skriftstørrelse","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Vis fejringseffekter i hele vinduet, mens GPT-5.3-Codex-Spark kører den første tur","settings.general.appearance.sparkCelebrationEffects.label":"Lav festlige effekter","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Mørkt","settings.general.appearance.theme.description":"Brug lys, mørk eller tilpasset systemet","settings.general.appearance.theme.light":"Lyst","settings.general.appearance.theme.system":"System","settings.general.appearance.usePointerCursors.description":"Skift markøren til en pil, når du holder musen over interaktive elementer","settings.general.appearance.usePointerCursors.label":"Brug pil-markører","settings.general.enterBehavior.description":"Når det er aktiveret, kræver multiline-forespørgsler {modifierSymbol} + enter for at sende.","settings.general.enterBehavior.label":"Kræver {modifierSymbol} + enter for at sende lange forespørgsler","settings.general.experimentalFeatures":"Eksperimentale funktioner (beta)","settings.general.experimentalFeatures.empty":"Ingen eksperimentale betafunktioner tilgængelige.","settings.general.experimentalFeatures.loading":"Indlæser eksperimentale funktioner ...","settings.general.experimentalFeatures.restartNote":"Genstart Codex for at anvende ændring af eksperimentale funktioner","settings.general.experimentalFeatures.toggle":"Skift {featureName}","settings.general.followUpQueueMode.description":"Sæt opfølgninger i kø, mens Codex kører, eller afbryd den aktuelle kørsel","settings.general.followUpQueueMode.interrupt":"Styr","settings.general.followUpQueueMode.label":"Adfærd for opfølgning","settings.general.followUpQueueMode.queue":"Kø","settings.general.notifications":"Notifikationer","settings.general.power.preventSleepWhileRunning.description":"Hold din computer tændt, mens Codex kører en tråd.","settings.general.power.preventSleepWhileRunning.label":"Undgå dvale, mens den kører","settings.git.branchPrefix.ariaLabel":"Branch-præfiks","settings.git.branchPrefix.description":"Præfiks bruges, når du opretter nye branches i Codex","settings.git.branchPrefix.label":"Branch-præfiks","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Det var ikke muligt at gemme branch-præfikset","settings.git.branchPrefix.save.success":"Branch-præfikset blev gemt","settings.git.commitInstructions.ariaLabel":"Indsættelsesinstruktioner","settings.git.commitInstructions.description":"Tilføjet til forespørgsler om generering af indsættelsesbeskeder","settings.git.commitInstructions.label":"Indsættelsesinstruktioner","settings.git.commitInstructions.placeholder":"Tilføj vejledning til indsættelsesbesked ...","settings.git.commitInstructions.save":"Gem","settings.git.commitInstructions.save.error":"Det var ikke muligt at gemme indsættelsesinstruktioner","settings.git.commitInstructions.save.success":"Gemte indsættelsesinstruktioner","settings.git.forcePush.ariaLabel":"Gennemtving altid push","settings.git.forcePush.description":"Brug --force-with-lease, når du pusher fra Codex","settings.git.forcePush.label":"Gennemtving altid push","settings.git.forcePush.save.disabled":"Gennemtving altid push blev deaktiveret","settings.git.forcePush.save.enabled":"Gennemtving altid push blev aktiveret","settings.git.forcePush.save.error":"Det var ikke muligt at gemme indstillingen Gennemtving push","settings.git.prInstructions.ariaLabel":"Instruktioner til pull-anmodning","settings.git.prInstructions.description":"Tilføjet til pull-anmodningstekster oprettet af Codex","settings.git.prInstructions.label":"Instruktioner til pull-anmodning","settings.git.prInstructions.placeholder":"Tilføj vejledning til pull-anmodning ...","settings.git.prInstructions.save":"Gem","settings.git.prInstructions.save.error":"Det var ikke muligt at gemme instruktioner til pull-anmodning","settings.git.prInstructions.save.success":"Gemte instruktioner til pull-anmodning","settings.ide.defaultOpenTarget.description":"Hvor filer og mapper åbner som standard","settings.ide.defaultOpenTarget.label":"Åbn destination som standard","settings.ide.defaultOpenTarget.placeholder":"Der blev ikke fundet nogen targets","settings.ide.language.auto":"Genkend automatisk","settings.ide.language.autoOption":"Genkend automatisk","settings.ide.language.description":"Sprog i appens UI","settings.ide.language.label":"Sprog","settings.ide.language.search":"Søg i sprog","settings.layout.actionButton":"Start udvidelse igen","settings.layout.actionTitle":"Indstillinger med handling","settings.layout.fullWidthTitle":"Indstillinger (fuld bredde)","settings.layout.title":"Indstillinger","settings.localEnvironments.actions.add":"Tilføj handling","settings.localEnvironments.actions.add.description":"Opret en ny kommando for at køre fra værktøjslinjen.","settings.localEnvironments.actions.add.save":"Gem","settings.localEnvironments.actions.empty":"Tilføj en handling for at køre kommandoer fra den lokale værktøjslinje.","settings.localEnvironments.actions.icon.debug":"Fejlsøgning","settings.localEnvironments.actions.icon.run":"Kør","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Værktøj","settings.localEnvironments.actions.item.button.delete":"Slet","settings.localEnvironments.actions.item.command":"Handlingsscript","settings.localEnvironments.actions.item.name":"Navn","settings.localEnvironments.actions.item.platforms":"Platforme","settings.localEnvironments.actions.item.platforms.help":"Kør kun på et specifikt OS.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Valg af platform","settings.localEnvironments.actions.item.platforms.specific":"Platformsspecifik","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Slet","settings.localEnvironments.actions.title":"Handlinger","settings.localEnvironments.breadcrumb.back":"Tilbage","settings.localEnvironments.breadcrumb.edit":"rediger","settings.localEnvironments.breadcrumb.root":"Miljøer","settings.localEnvironments.environment.actions.description":"Disse handlinger kan køre på enhver kommando og vil blive vist i headeren.","settings.localEnvironments.environment.actionsLabel":"Handlinger","settings.localEnvironments.environment.create":"Opret lokalt miljø","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"Rediger lokalt miljø","settings.localEnvironments.environment.empty":"Der er ikke konfigureret noget lokalt miljø for dette projekt endnu.","settings.localEnvironments.environment.name":"Navn","settings.localEnvironments.environment.setup":"Indstillingsskript","settings.localEnvironments.environment.setup.description":"Dette script kører på arbejdstræoprettelse.","settings.localEnvironments.environment.setup.hint":"Kører i projektroden.","settings.localEnvironments.environment.setup.platformOverrides":"Tilsidesættelser af platform","settings.localEnvironments.environment.setup.platformOverrides.add":"Tilføj {platform}-indstillingsscript","settings.localEnvironments.environment.setup.platformOverrides.description":"Overskrider standardscriptet for specifikke operativsystemer","settings.localEnvironments.environment.setup.platformOverrides.remove":"Fjern","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Miljø-oplysninger","settings.localEnvironments.file.missing":"Gem for at oprette denne fil første gang.","settings.localEnvironments.file.parseError":"Det er ikke muligt at læse den eksisterende fil. Hvis du gemmer den, bliver den overskrevet. ({error})","settings.localEnvironments.file.path":"Fil: {path}","settings.localEnvironments.file.readError":"Det var ikke muligt at indlæse lokale miljødata. ({error})","settings.localEnvironments.file.title":"Lokal miljøfil","settings.localEnvironments.loading.body":"Henter din projektkonfiguration.","settings.localEnvironments.loading.title":"Indlæser lokale miljøer","settings.localEnvironments.preview.devOnly":"(kun UDVIKLERE)","settings.localEnvironments.preview.save":"Gem","settings.localEnvironments.preview.saveError":"Det var ikke muligt at gemme opgaven. ({error})","settings.localEnvironments.preview.title":"Forhåndsvisning","settings.localEnvironments.save.disabled.name":"Tilføj et miljønavn for at gemme.","settings.localEnvironments.save.disabled.noChanges":"Ingen ændringer at gemme.","settings.localEnvironments.save.disabled.saving":"Gemmer ...","settings.localEnvironments.save.success":"Gemt lokalt miljø","settings.localEnvironments.unavailable.body":"Vi kunne ikke indlæse lokale miljøindstillinger for dette projekt.","settings.localEnvironments.unavailable.title":"Lokale miljøer er ikke tilgængelige","settings.localEnvironments.workspace.add":"Tilføj projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Tilføj miljø","settings.localEnvironments.workspaceSelect.description":"Lokale miljøer fortæller Codex, hvordan arbejdstræer skal indstilles for et projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ingen projekter endnu. Tilføj et for at konfigurere lokale miljøer.","settings.localEnvironments.workspaceSelect.errorLabel":"Miljøet kræver din opmærksomhed","settings.localEnvironments.workspaceSelect.learnMore":"Se mere","settings.localEnvironments.workspaceSelect.listLabel":"Tilgængelige projekter","settings.localEnvironments.workspaceSelect.loading":"Indlæser projekter.","settings.localEnvironments.workspaceSelect.loadingLabel":"Indlæser miljø","settings.localEnvironments.workspaceSelect.title":"Vælg et projekt","settings.localEnvironments.workspaceSelect.viewAction":"Vis","settings.mcp.addServer":"Tilføj server","settings.mcp.app.configure":"Konfigurer","settings.mcp.app.connect":"Opret forbindelse","settings.mcp.apps.refresh":"Genindlæs","settings.mcp.detail.addArgument":"Tilføj argument","settings.mcp.detail.addEnvVar":"Tilføj miljøvariabel","settings.mcp.detail.addEnvVarPassthrough":"Tilføj variabel","settings.mcp.detail.args":"Argumenter","settings.mcp.detail.back":"Tilbage","settings.mcp.detail.command":"Kommando, der skal køres","settings.mcp.detail.cwd":"Arbejdsmappe","settings.mcp.detail.docs":"Åbn MCP-dokumentation","settings.mcp.detail.docs.link":"Dokumenter","settings.mcp.detail.envVarPassthrough":"Gennemgang for miljøvariabler","settings.mcp.detail.envVars":"Miljøvariabler","settings.mcp.detail.http.addEnvHeader":"Tilføj variabel","settings.mcp.detail.http.addHeader":"Tilføj overskrift","settings.mcp.detail.http.bearerToken":"Bearer-token env var","settings.mcp.detail.http.envHeaders":"Overskrifter fra miljøvariabler","settings.mcp.detail.http.headers":"Overskrifter","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Navn","settings.mcp.detail.save":"Gem","settings.mcp.detail.switchTransportNotice":"Hvis du vil skifte MCP-servertype, skal du først afinstallere.","settings.mcp.detail.titleExisting":"Opdater {name} MCP","settings.mcp.detail.titleNew":"Opret forbindelse til en tilpasset MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Afinstaller","settings.mcp.empty":"Ingen tilpassede MCP-servere tilknyttet","settings.mcp.myServers":"Tilpassede servere","settings.mcp.partnerServer.description.figma":"Generer bedre kode ved at bruge fuld Figma-kontekst","settings.mcp.partnerServer.description.github":"Integrer med GitHubs API’er for at automatisere arbejdsgange og udtrække data","settings.mcp.partnerServer.description.linear":"Integrer med Linears problemhåndtering og projektledelse","settings.mcp.partnerServer.description.notion":"Læs dokumenter, opdater sider, administrer opgaver","settings.mcp.partnerServer.description.playwright":"Integrer browser-automatisering for at implementere design og teste UI.","settings.mcp.partnerServer.install":"Installer","settings.mcp.partnerServer.installAndAuthenticate":"Installer og godkend","settings.mcp.partnerServer.logoAlt":"{label}-logo","settings.mcp.partnerServer.manage":"Administrer","settings.mcp.partnerServer.vendor":"af {vendor}","settings.mcp.recommendedServers":"Anbefalede servere","settings.mcp.restartApp":"Genstart","settings.mcp.restartExtension":"Start udvidelse igen","settings.mcp.server.enable":"Aktivér","settings.mcp.server.login":"Godkend","settings.mcp.server.settings":"Indstillinger","settings.multiselect.createOption":"Opret “{value}”","settings.multiselect.removeOption":"Fjern","settings.nav.account":"Konto","settings.nav.agent":"Konfiguration","settings.nav.ariaLabel":"Indstillinger","settings.nav.back":"Tilbage til app","settings.nav.data-controls":"Arkiverede tråde","settings.nav.environments":"Cloud-miljøer","settings.nav.externalTooltip":"[alpha] Åbner i browser","settings.nav.general-settings":"Generelt","settings.nav.git-settings":"Git","settings.nav.local-environments":"Miljøer","settings.nav.mcp-settings":"MCP-servere","settings.nav.notImplemented":"[alpha] Endnu ikke tilgængelig i Alpha","settings.nav.personalization":"Personlig tilpasning","settings.nav.skills-settings":"Færdigheder","settings.nav.usage-analytics":"Brug og analyse","settings.nav.worktrees":"Arbejdstræer","settings.openSourceLicenses.back":"Tilbage","settings.openSourceLicenses.loading":"Indlæser ...","settings.openSourceLicenses.missing":"Der blev ikke fundet nogen tredjepartsmeddelelser.","settings.openSourceLicenses.notSupported":"Ikke tilgængelig i denne host.","settings.openSourceLicenses.rowDescription":"Tredjepartsmeddelelser til samlede afhængigheder","settings.openSourceLicenses.rowLabel":"Open source-licenser","settings.openSourceLicenses.subtitle":"Tredjeparts meddelelser til afhængigheder er inkluderet i denne app","settings.openSourceLicenses.title":"Open source-licenser","settings.openSourceLicenses.view":"Vis","settings.personalization.agents.description":"Rediger instruktioner, der skræddersyr Codex til dig. {learnMore}","settings.personalization.agents.learnMore":"Se mere","settings.personalization.agents.loadError":"Det var ikke muligt at indlæse agents.md.","settings.personalization.agents.loading":"Indlæser agents.md ...","settings.personalization.agents.placeholder":"Tilføj dine tilpassede instruktioner ...","settings.personalization.agents.retry":"Prøv igen","settings.personalization.agents.save":"Gem","settings.personalization.agents.save.error":"Det var ikke muligt at gemme agents.md","settings.personalization.agents.save.success":"Gemte agents.md","settings.personalization.agents.title":"Brugerdefinerede instruktioner","settings.personalization.personality.description":"Vælg en standardtone for Codex-svar","settings.personalization.personality.label":"Personlighed","settings.sample.contentBody":"Brug dette layout til at komponere dine indstillingspaneler med ensartede mellemrum.","settings.sample.contentTitle":"Eksempel på indholdsblok","settings.section.account":"Konto","settings.section.agent":"Konfiguration","settings.section.data-controls":"Arkiverede tråde","settings.section.environments":"Cloud-miljøer","settings.section.external":"Åbnes i din browser i forbindelse med Alpha","settings.section.general-settings":"Generelt","settings.section.git-settings":"Git","settings.section.local-environments":"Miljøer","settings.section.mcp-settings":"MCP-servere","settings.section.mcp-settings.docs":"Dokumenter","settings.section.mcp-settings.subtitle":"Tilknyt eksterne værktøjer og datakilder","settings.section.personalization":"Personlig tilpasning","settings.section.skills-settings":"Færdigheder","settings.section.unavailable":"Endnu ikke tilgængelig i Alpha","settings.section.usage-analytics":"Brug og analyse","settings.section.worktrees":"Arbejdstræer","settings.threadDetail.description":"Vælg, hvor meget kommando-output der skal vises i tråde","settings.threadDetail.label":"Trådoplysninger","settings.worktrees.conversation.untitled":"Samtale uden titel","settings.worktrees.delete.error":"Det var ikke muligt at slette arbejdstræet","settings.worktrees.empty.body":"Arbejdstræer, der er oprettet af Codes, vises her.","settings.worktrees.empty.title":"Ingen arbejdstræer endnu","settings.worktrees.error.body":"Der opstod en fejl under indlæsningen af arbejdstræer.","settings.worktrees.error.retry":"Prøv igen","settings.worktrees.error.title":"Det var ikke muligt at indlæse arbejdstræerne","settings.worktrees.loading.body":"Henter oplysninger om arbejdstræer.","settings.worktrees.loading.title":"Indlæser arbejdstræer","settings.worktrees.repository.loading":"Indlæser metadata om lagringssted ...","settings.worktrees.repository.unknown":"Ukendt lagringssted","settings.worktrees.row.conversations":"Samtaler","settings.worktrees.row.conversations.empty":"Der er ingen samtaler tilknyttet dette arbejdstræ.","settings.worktrees.row.conversations.loading":"Indlæser samtaler ...","settings.worktrees.row.delete":"Slet","settings.worktrees.row.title":"Arbejdstræ","sidebarElectron.addWorkspaceRoot":"Tilføj nyt projekt","sidebarElectron.archiveThread":"Arkiver tråd","sidebarElectron.archiveThreadError":"Det var ikke muligt at arkivere tråden","sidebarElectron.collapseFolder":"Skjul mappe","sidebarElectron.createStableWorktree.dialog.cancel":"Annuller","sidebarElectron.createStableWorktree.dialog.create":"Opret","sidebarElectron.debugNavLink":"Fejlsøgning","sidebarElectron.editWorkspaceRootOptionName":"Rediger navn","sidebarElectron.expandFolder":"Udvid mappe","sidebarElectron.groupByMenu.recency":"Kronologisk liste","sidebarElectron.groupByMenu.title":"Organiser","sidebarElectron.groupByMenu.workspace":"Efter projekt","sidebarElectron.inboxRouteNavLink":"Automatiseringer","sidebarElectron.markThreadUnread":"Markér som ulæst","sidebarElectron.missingWorkspaceRoot":"Denne projektmappe blev slettet eller flyttet","sidebarElectron.newThread":"Ny tråd","sidebarElectron.newThreadInGroup":"Start ny tråd i {folder}","sidebarElectron.noRecentThreads":"Ingen nylige tråde","sidebarElectron.noTasks":"Ingen tråde","sidebarElectron.noTasks.start":"Tilføj nyt projekt","sidebarElectron.noTasksWithFilter":"Ingen tråde matcher filtre","sidebarElectron.pinnedThreads":"Fastgjorte tråde","sidebarElectron.recentNavLink":"Tråde","sidebarElectron.recentThreads":"Nyeste tråde","sidebarElectron.removeWorkspaceRootOption":"Fjern","sidebarElectron.renameThread":"Omdøb tråd","sidebarElectron.renameThreadDialogAriaLabel":"Titel på tråd","sidebarElectron.renameThreadDialogCancel":"Annuller","sidebarElectron.renameThreadDialogPlaceholder":"Tilføj en titel ...","sidebarElectron.renameThreadDialogSave":"Gem","sidebarElectron.renameThreadDialogSubtitle":"Hold den kort og genkendelig.","sidebarElectron.renameThreadDialogTitle":"Omdøb tråd","sidebarElectron.renameThreadError":"Tråden kunne ikke omdøbes.","sidebarElectron.renameWorkspaceRootOptionLabel":"Visningsnavn","sidebarElectron.showLess":"Vis mindre","sidebarElectron.showMenu.all":"Alle tråde","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Vis kun seneste tråde for den nuværende forgrening, arbejdstræer eller andre tråde, som kræver din opmærksomhed","sidebarElectron.showMenu.title":"Vis","sidebarElectron.showMenu.tooltip":"Filtrer, sortér og organiser tråde","sidebarElectron.showMenu.trigger":"Filtrer tråde i sidebjælke","sidebarElectron.showMore":"Vis mere","sidebarElectron.skillsRouteNavLink":"Færdigheder","sidebarElectron.sortMenu.created":"Oprettet","sidebarElectron.sortMenu.title":"Sortér efter","sidebarElectron.sortMenu.updated":"Opdateret","sidebarElectron.taskNavigation":"Automatiseringsmapper","sidebarElectron.tasksInFolder":"Automatiseringer i {folder}","sidebarElectron.workspaceOptions":"Projekthandlinger for {folder}","sidebarElectron.worktreeGroupTooltip":"Dette er et git-arbejdstræ","skills.appsPage.createSkill":"Ny færdighed","skills.appsPage.empty.skills":"Ingen færdigheder fundet","skills.appsPage.search.skills":"Søg i færdigheder","skills.appsPage.search.skills.label":"Søg i færdigheder","skills.appsPage.section.installedApps":"Installerede","skills.appsPage.section.skills":"Færdigheder","skills.appsPage.subheading":"Giv Codex superkræfter.<link>Se mere</link>","skills.appsPage.tab.recommended":"Anbefalet","skills.appsPage.tab.skills":"Færdigheder","skills.card.contentsError":"Det var ikke muligt at indlæse færdighedsindholdet.","skills.card.disable":"Deaktiver","skills.card.disableSuccess":"{skillName} færdighed blev deaktiveret","skills.card.disabledBadge":"Deaktiveret","skills.card.enable":"Aktivér","skills.card.enableSuccess":"{skillName} færdighed blev aktiveret","skills.card.loadingContents":"Indlæser færdighedsindhold ...","skills.card.more":"Flere handlinger","skills.card.open":"Åbn","skills.card.removeFailed":"Det var ikke muligt at ikke afinstallere færdigheden","skills.card.removeSuccess":"{skillName} færdighed blev afinstalleret","skills.card.toggleEnabledError":"Det var ikke muligt at opdatere færdigheden","skills.card.try":"Prøv","skills.card.trySkill":"Prøv færdighed","skills.card.uninstall":"Afinstaller","skills.hero.dotLabel":"Gå til slide {index}","skills.hero.next":"Næste fremhævede færdighed","skills.hero.trySkill":"Prøv færdighed","skills.page.createSkill":"Ny færdighed","skills.page.empty":"Ingen færdigheder fundet","skills.page.filteredEmpty":"Der er ingen færdigheder, der passer til dine filtre","skills.page.filteredEmptyDescription":"Prøv at justere dine søgninger eller områdefiltre","skills.page.heading":"Færdigheder","skills.page.loading":"Indlæser færdigheder ...","skills.page.refreshSkills":"Genindlæs","skills.page.refreshSkillsToUseNew":"Genindlæs for at bruge nye færdigheder","skills.page.search":"Søg i færdigheder","skills.page.search.label":"Søg i færdigheder","skills.page.subheading":"Giv Codex superkræfter.<link>Se mere</link>","skills.preview.copyPrompt":"Kopiér forespørgsel","skills.preview.examplePrompt":"Eksempel på forespørgsel","skills.recommended.error":"Anbefalede færdigheder kunne ikke indlæses","skills.recommended.install":"Installer","skills.recommended.installSkill":"Installer færdighed","skills.recommended.installSuccess":"{skillName} færdighed blev installeret","skills.recommended.installed":"Installerede","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Installeret af admin","skills.scope.builtIn":"System","skills.scope.personal":"Personlig","skills.scope.repo":"Lagringssted","skills.scope.system":"System","skills.scope.team":"Team","skills.scope.user":"Bruger","skills.section.installed":"Installerede","skills.section.recommended":"Anbefalet","story.slidingToggle.existing":"Eksisterende","story.slidingToggle.fromLocal":"Fra lokal","story.slidingToggle.new":"Ny","story.slidingToggle.toLocal":"Til lokal","terminal.close":"Luk terminal","terminal.title":"Terminal","thinkingShimmer.default":"Tænker","threadEnvIcon.cloudTooltip":"Denne samtale kører i Codex Cloud.","threadEnvIcon.localTooltip":"Denne samtale kører lokalt.","threadEnvIcon.worktreeTooltip":"Denne samtale kører i et lokalt git-arbejdstræ.","threadHeader.archiveConfirmCancel":"Annuller","threadHeader.archiveConfirmConfirm":"Arkivér","threadHeader.copySessionId":"Kopiér sessions-ID","threadHeader.copyWorkingDirectory":"Kopiér arbejdsmappe","threadHeader.forkIntoLocal":"Fordel lokalt","threadHeader.forkIntoWorktree":"Fordel i nyt arbejdstræ","threadHeader.forkPendingWorktreePrompt":"Fordel denne samtale i et nyt arbejdstræ.","threadHeader.forkPendingWorktreeTitle":"Fordelt samtale","threadHeader.forkThreadError":"Det var ikke muligt at fordele tråden","threadHeader.forkThreadRequiresGitRepo":"Fordeling til et nyt arbejdstræ kræver et git-lagringssted (repo)","threadHeader.moreActions":"Trådhandlinger","threadPage.newThread":"Ny tråd","threadPage.runAction.changeEnvironment":"Skift miljø","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} handlinger","threadPage.runAction.environmentSelector.label":"Vælg miljø","threadPage.runAction.label":"Kør","threadPage.runAction.missing.label":"Indstil en kørselshandling","threadPage.runAction.setup.commandLabel":"Kommando, der skal køres","threadPage.runAction.setup.description":"Fortæl Codex, hvordan afhængigheder skal installeres, og start din app.","threadPage.runAction.setup.editMore":"Miljøindstillinger","threadPage.runAction.setup.placeholder":"f.eks.: nmp install npm run","threadPage.runAction.setup.submit":"Gem og kør","threadPage.runAction.setup.title":"Kør","threadPage.runAction.tooltip.withEnvironment":"{environmentName} handlinger","threadPage.toggleDiffPanel":"Skift panel for forskelle","threadPage.toggleTerminal":"Skift terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Åbn mappe","toolSummaryForCmd.exploredFiles":"<verb>Angivne</verb> filer","toolSummaryForCmd.exploredFilesInPath":"<verb>Angivne</verb> filer i {path}","toolSummaryForCmd.exploringFiles":"<verb>Angiver</verb> filer","toolSummaryForCmd.exploringFilesInPath":"<verb>Angiver</verb> filer i {path}","toolSummaryForCmd.ranGenericCommand":"<status>Kørte kommando</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Kørte</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Læs</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Kører kommando</status>{timer}","toolSummaryForCmd.runningTimer":"til {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Søgte</verb> efter {query}","toolSummaryForCmd.searchedForFiles":"<verb>Søgte</verb> efter filer","toolSummaryForCmd.searchedForInPath":"<verb>Søgte</verb> efter {query} i {path}","toolSummaryForCmd.searchingFor":"<verb>Søger</verb> efter {query}","toolSummaryForCmd.searchingForFiles":"<verb>Søger</verb> efter filer","toolSummaryForCmd.searchingForInPath":"<verb>Søger</verb> efter {query} i {path}","traceRecording.startDetails.cancel":"Annuller","wham.diff.addComment":"Tilføj kommentar","wham.diff.binaryFile":"Den binære fil vises ikke","wham.diff.noContent":"Intet indhold","wham.fileTag.deleted":"Slettet","wham.fileTag.new":"Ny","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} t","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} md.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} uge","wham.formattedRelativeDateTime.compactYearsAgo":"{value} år","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Arbejder på din opgave","wham.whamProposedTask.title":"Foreslået opgave","wham.whamProposedTask.useSuggestion":"Brug forslag","workspaceRootDialog.addError":"Det var ikke muligt at tilføje projektet","workspaceRootDialog.cancel":"Annuller","workspaceRootDialog.confirmAdd":"Tilføj projekt","workspaceRootDialog.confirmPick":"Brug projekt","workspaceRootDialog.description":"Indtast en sti på {host} for at bruge det som projekt.","workspaceRootDialog.pathLabel":"Projektsti","workspaceRootDialog.pathPlaceholder":"/hjem/dig/projekt","workspaceRootDialog.title.add":"Tilføj projektsti","workspaceRootDialog.title.pick":"Vælg projektsti","worktreeInitV2.cancel":"Annuller","worktreeInitV2.notification.failedTitle":"Indstilling af arbejdstræet mislykkedes","worktreeInitV2.output.empty":"Venter på output ...","worktreeInitV2.status.error":"Indstillingen af arbejdstræet mislykkedes mislykkedes.","worktreeInitV2.status.running":"Opretter et arbejdstræ, og kører indstilling.","worktreeInitV2.status.runningFork":"Opretter et arbejdstræ for at fordele denne samtale.","worktreeInitV2.status.success":"Arbejdstræet er klar.","worktreeInitV2.title":"Opretter arbejdstræ","worktreeInitV2.workLocallyInstead":"Arbejd lokalt i stedet for","worktreeRestoreBanner.body":"Trådens arbejdstræ blev flyttet for at spare diskplads","worktreeRestoreBanner.missing.body":"Denne tråds arbejdsmappe findes ikke længere","worktreeRestoreBanner.missing.title":"Den nuværende arbejdsmappe mangler","worktreeRestoreBanner.restore.error":"Det var ikke muligt at gendanne arbejdstræet: {message}","worktreeRestoreBanner.restore.success":"Arbejdstræet blev gendannet","worktreeRestoreBanner.restoreCta":"Gendan arbejdstræ","worktreeRestoreBanner.title":"Arbejdstræet blev ryddet op"};Object.assign(e,globalThis.codexI18nOverrides?.["da-DK"]);export{e as default};
 //# sourceMappingURL=da-DK-BDqXAKf8.js.map
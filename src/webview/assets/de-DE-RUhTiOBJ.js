@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopieren","app.sidebar.hide":"Seitenleiste schließen","app.sidebar.show":"Seitenleiste öffnen","app.sidebar.tooltip":"Seitenleiste umschalten","appHeader.installUpdate":"Aktualisieren","appSunset.body":"Diese App-Version wird nicht mehr unterstützt. Bitte lade <here>hier</here> die neueste Version herunter.","appSunset.title":"Update erforderlich","automation.updateDirective.create":"Erstellen","automation.updateDirective.open":"Öffnen","automation.updateDirective.untitled":"Unbenannte Automation","automation.updateDirective.update":"Aktualisieren","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# Versuch} other {# Versuche}}","cloudTaskRow.archiveError":"Archivieren der Aufgabe fehlgeschlagen","code.diff.requestChange":"Änderung anfordern","code.diffComment.cancel":"Abbrechen","code.diffComment.comment":"Kommentar","code.diffComment.delete":"Löschen","code.diffComment.save":"Speichern","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Es wurden keine Ergebnisse gemeldet.","codex.alert.closeAriaLabel":"Schließen","codex.appUpsellBanner.cbpApi.message":"Schneller entwickeln mit der Codex-App. Jetzt herunterladen oder {learnMoreLink}.","codex.appUpsellBanner.download":"Herunterladen","codex.appUpsellBanner.freeGo.message":"Codex ist bis zum 2. März in deinem Plan enthalten. Teste die Codex-App und entwickle schneller.","codex.appUpsellBanner.later":"Später","codex.appUpsellBanner.learnMoreLowercase":"mehr erfahren","codex.appUpsellBanner.new":"Neu","codex.appUpsellBanner.proPlusBusiness.message":"Teste die Codex-App bis zum 2. April mit doppelt so hohen Ratenlimits. Jetzt herunterladen oder {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-App","codex.applyDropdown.header.changes":"Änderungen","codex.applyDropdown.header.fileCount":"{count, plural, one {# Datei} other {# Dateien}}","codex.applyDropdown.header.rows":"Zeilen","codex.applyDropdown.header.title":"Änderungen übernehmen","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {Konflikt bei 1 Datei:} other {Konflikt bei {count} Dateien:}}","codex.applyDropdown.results.empty":"Es wurden keine Dateien kopiert","codex.applyDropdown.results.skipped":"{count, plural, one {1 Datei übersprungen:} other {{count} Dateien übersprungen:}}","codex.applyOrRevertBanner.apply":"Übernehmen","codex.applyOrRevertBanner.applyMessage":"Änderungen übernehmen und lokal fortfahren?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Diese Aufgabe wurde in {environment} erstellt, daher lässt sie sich eventuell nicht sauber anwenden.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Änderungen, die in {environment} vorgenommen wurden, lassen sich möglicherweise nicht sauber anwenden.","codex.applyOrRevertBanner.reapply":"Erneut anwenden","codex.applyOrRevertBanner.revert":"Zurücksetzen","codex.applyOrRevertBanner.revertMessage":"Angewendete Änderungen zurücksetzen?","codex.applyResultsDialog.applied":"Sauber angewendet ({count})","codex.applyResultsDialog.close":"Schließen","codex.applyResultsDialog.conflicted":"Konfliktbehaftet ({count})","codex.applyResultsDialog.noDetails":"Keine Dateidetails verfügbar.","codex.applyResultsDialog.skipped":"Übersprungen ({count})","codex.applyResultsDialog.title":"Ergebnisse anwenden","codex.archiveInfo":"Archivierte Chats in {dataControlsLink} anzeigen.","codex.archiveInfo.dataControlsLink":"Datenkontrollen","codex.archiveInfo.electron":"Archivierte Chats in {settingsLink} anzeigen","codex.archiveInfo.extension":"Archivierte Chats im Ordner .codex anzeigen.","codex.archiveInfo.settingsLink":"Einstellungen","codex.banner.content.description":"Aufgaben parallel ausführen, Fortschritt überall nachverfolgen und PRs mit KI überprüfen.","codex.banner.content.headline":"Codex erledigt alles.","codex.cloudTaskRow.archiveTask":"Aufgabe archivieren","codex.cloudTaskRow.confirmArchiveTask":"Bestätigen","codex.command.feedback":"Feedback","codex.command.findInThread":"Suchen","codex.command.forceReloadSkills":"Neuladen der Fähigkeiten erzwingen","codex.command.logOut":"Abmelden","codex.command.manageTasks":"Aufgaben verwalten","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Zurück","codex.command.navigateForward":"Vorwärts","codex.command.newThread":"Neuer Thread","codex.command.nextThread":"Nächster Thread","codex.command.openFolder":"Ordner öffnen","codex.command.openSkills":"Zu Fähigkeiten gehen","codex.command.openThreadOverlay":"Thread ausklappen","codex.command.personalitySettings":"Persönlichkeit","codex.command.previousThread":"Vorheriger Thread","codex.command.settings":"Einstellungen","codex.command.toggleDiffPanel":"Diff-Panel umschalten","codex.command.toggleSidebar":"Seitenleiste umschalten","codex.command.toggleTerminal":"Terminal anzeigen/ausblenden","codex.commandGroup.app":"App","codex.commandGroup.configure":"Konfigurieren","codex.commandGroup.navigation":"Navigation","codex.commandGroup.panels":"Panels","codex.commandGroup.skills":"Fähigkeiten","codex.commandGroup.thread":"Thread","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Keine Übereinstimmungen","codex.commandMenu.searchPlaceholder":"Suchbefehle","codex.commandMenu.suggestedGroup":"Vorgeschlagen","codex.commandMenu.switchWorkspace":"Projekt wechseln","codex.commandMenu.title":"Befehlsmenü","codex.common.retry":"Erneut versuchen","codex.composer.searchBranches":"Branches•durchsuchen","codex.dialog.basic.body":"Dies ist ein einfacher Modal-Dialog mit unserem Wrapper rund um Radix-Dialog.","codex.dialog.basic.cancel":"Abbrechen","codex.dialog.basic.confirm":"Bestätigen","codex.dialog.basic.open":"Dialog öffnen","codex.dialog.basic.title":"Beispiel-Dialog","codex.dialog.long.close":"Schließen","codex.dialog.long.line":"Scrollbare Zeile {index}, um langen Inhalt im Dialog zu demonstrieren.","codex.dialog.long.open":"Langen Dialog öffnen","codex.dialog.long.title":"Dialog mit langem Inhalt","codex.dialog.unstyled.body":"Diese Story zeigt, wie Aufrufer die Dialoggestaltung vollständig steuern können.","codex.dialog.unstyled.open":"Unformatierten Dialog öffnen","codex.dialog.unstyled.title":"Unformatierter Inhalt","codex.diff.openInEditorPrompt.openButton":"Im Editor öffnen","codex.diff.openInEditorPrompt.singleLine":"Diese Datei ist zu groß, um hier angezeigt zu werden.","codex.diffView.failedToDecodeBase64Diff":"base64-Diff konnte nicht dekodiert werden","codex.diffView.filesChanged":"{fileCount, plural, one {# Datei geändert} other {# Dateien geändert}}","codex.diffView.imagePreviewAlt":"Bildvorschau","codex.diffView.imagePreviewEmpty":"Kein Bild","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Keine Diff-Daten","codex.diffView.pdfPreview.nextPage":"Nächste Seite","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Vorherige Seite","codex.diffView.pdfPreviewEmpty":"Keine PDF-Vorschau","codex.diffView.pdfPreviewError":"PDF-Vorschau konnte nicht gerendert werden.","codex.diffView.richPreviewDisable":"Erweiterte Vorschau deaktivieren","codex.diffView.richPreviewEnable":"Erweiterte Vorschau aktivieren","codex.diffView.richPreviewLoading":"Vorschau wird geladen…","codex.diffView.richPreviewToggle":"Erweiterte Vorschau umschalten","codex.diffView.switchToUnified":"Zu Unified-Diff wechseln","codex.environmentSelector.noEnvironment":"Keine Umgebung","codex.environments.environmentSettings":"Umgebungseinstellungen","codex.environments.learnMore":"Mehr erfahren","codex.environments.listError":"Laden der Umgebungen fehlgeschlagen","codex.environments.noEnvironmentsFound":"Keine Umgebungen gefunden","codex.environments.searchError":"Umgebungen konnten nicht durchsucht werden","codex.errorBoundary.genericError":"Hoppla, ein Fehler ist aufgetreten","codex.errorBoundary.goHome":"Erneut versuchen","codex.file.patch.missing":"Patch für diese Datei kann nicht erstellt werden.","codex.gallery.automations.cwdLabel":"Projekte","codex.gallery.automations.nameLabel":"Name","codex.gallery.automations.namePlaceholder":"Aufgabe zusammenfassen","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Beschreibe, was Codex tun soll","codex.gallery.dialogs.automation.label":"Automatisierungs-Dialog","codex.gallery.dialogs.basic.body":"Dieses Layout für einfache Bestätigungen oder kurze Formulare verwenden.","codex.gallery.dialogs.basic.cancel":"Abbrechen","codex.gallery.dialogs.basic.confirm":"Bestätigen","codex.gallery.dialogs.basic.label":"Einfacher Dialog","codex.gallery.dialogs.basic.title":"Beispieldialog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Beschreibe das Problem","codex.gallery.dialogs.feedbackSubmission.bad":"Schlechtes Ergebnis","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Gutes Ergebnis","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Aktuelle Codex-Sitzungsprotokolle einbeziehen","codex.gallery.dialogs.feedbackSubmission.label":"Feedback senden","codex.gallery.dialogs.feedbackSubmission.other":"Sonstiges","codex.gallery.dialogs.feedbackSubmission.placeholder":"Beschreibe das Problem hier","codex.gallery.dialogs.feedbackSubmission.submit":"Absenden","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback hochgeladen. Wenn das Problem weiterhin besteht, erstelle bitte ein GitHub-Issue oder erwähne die Thread-ID in einem bestehenden offenen Issue:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Verwerfen","codex.gallery.dialogs.feedbackSuccess.label":"Feedback erfolgreich","codex.gallery.dialogs.feedbackSuccess.title":"Feedback hochgeladen","codex.gallery.dialogs.gitApplyResults.applied":"Sauber angewendet (2)","codex.gallery.dialogs.gitApplyResults.close":"Schließen","codex.gallery.dialogs.gitApplyResults.conflicted":"Konflikt (1)","codex.gallery.dialogs.gitApplyResults.label":"Ergebnisse anwenden","codex.gallery.dialogs.gitApplyResults.title":"Ergebnisse anwenden","codex.gallery.dialogs.gitPushError.body":"Ziehe die neuesten Änderungen oder führe ein Force-Push aus, wenn du sicher bist, dass die Remote-Historie überschrieben werden kann.","codex.gallery.dialogs.gitPushError.cancel":"Abbrechen","codex.gallery.dialogs.gitPushError.force":"Force-Push","codex.gallery.dialogs.gitPushError.label":"Push-Fehler","codex.gallery.dialogs.gitPushError.subtitle":"Dein Branch liegt hinter origin/main.","codex.gallery.dialogs.gitPushError.title":"Änderungen konnten nicht gepusht werden","codex.gallery.dialogs.gitRevert.cancel":"Abbrechen","codex.gallery.dialogs.gitRevert.confirm":"Zurücksetzen","codex.gallery.dialogs.gitRevert.label":"Änderungen rückgängig machen","codex.gallery.dialogs.gitRevert.skip":"Nicht noch einmal fragen","codex.gallery.dialogs.gitRevert.subtitle":"Diese Aktion entfernt alle diese Änderungen.","codex.gallery.dialogs.gitRevert.title":"Änderungen rückgängig machen?","codex.gallery.dialogs.longForm.label":"Ausführlicher Dialog","codex.gallery.dialogs.proseModal.body":"Dieser Modaldialog-Stil wird für längere Anleitungen, Onboarding oder reichhaltige Inhaltsblöcke verwendet.","codex.gallery.dialogs.proseModal.close":"Schließen","codex.gallery.dialogs.proseModal.subtitle":"Hier ausführliche Anleitungen oder Dokumentationen teilen.","codex.gallery.dialogs.proseModal.title":"Prosa-Modal","codex.gallery.dialogs.submitBlocked.label":"Senden blockiert","codex.gallery.dialogs.submitBlocked.message":"Deine Nachricht konnte nicht gesendet werden, da das Projekt nicht verfügbar ist.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Senden der Nachricht fehlgeschlagen","codex.gallery.dialogs.title":"Dialoge","codex.gallery.dropdown.filterPlaceholder":"Elemente filtern","codex.gallery.dropdowns.actionRow":"Aktionszeilen","codex.gallery.dropdowns.actionRow.disabled":"Deaktivierte Aktion","codex.gallery.dropdowns.actionRow.primary":"Hauptaktion","codex.gallery.dropdowns.actionRow.secondary":"Sekundäre Aktion","codex.gallery.dropdowns.actionRow.trigger":"Aktionen anzeigen","codex.gallery.dropdowns.basic":"Einfaches Dropdown","codex.gallery.dropdowns.basic.newFile":"Neue Datei","codex.gallery.dropdowns.basic.newFolder":"Neuer Ordner","codex.gallery.dropdowns.basic.openSettings":"Einstellungen öffnen","codex.gallery.dropdowns.basic.title":"Schnellaktionen","codex.gallery.dropdowns.basic.trigger":"Menü öffnen","codex.gallery.dropdowns.basic.upload":"Hochladen","codex.gallery.dropdowns.panel":"Panel-Oberfläche","codex.gallery.dropdowns.panel.apply":"Übernehmen","codex.gallery.dropdowns.panel.body":"Überprüfe die Diffs und wende sie auf dein Projekt an.","codex.gallery.dropdowns.panel.preview":"Vorschau","codex.gallery.dropdowns.panel.title":"Änderungen übernehmen","codex.gallery.dropdowns.panel.trigger":"Panel öffnen","codex.gallery.dropdowns.search":"Durchsuchbares Dropdown","codex.gallery.dropdowns.search.first":"Alpha-Kanal","codex.gallery.dropdowns.search.second":"Beta-Branch","codex.gallery.dropdowns.search.third":"Release-Kandidat","codex.gallery.dropdowns.search.trigger":"Elemente filtern","codex.gallery.dropdowns.submenu":"Dropdown mit Untermenü","codex.gallery.dropdowns.submenu.optionA":"Projekt Alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt Beta","codex.gallery.dropdowns.submenu.optionC":"Projekt Gamma","codex.gallery.dropdowns.submenu.primary":"Eigentümer zuweisen","codex.gallery.dropdowns.submenu.secondary":"Verschieben nach","codex.gallery.dropdowns.submenu.tertiary":"Archivieren","codex.gallery.dropdowns.submenu.trigger":"Aktion wählen","codex.gallery.dropdowns.title":"Dropdowns","codex.gallery.inbox.automations.close":"Schließen","codex.gallery.inbox.automations.popover.cardTitle":"Automatisierungen verwalten","codex.gallery.inbox.automations.popover.dialogTitle":"Automatisierungen verwalten","codex.header.settingsTooltip":"Einstellungen","codex.hunk.patch.error":"Staging fehlgeschlagen","codex.hunk.patch.missing":"Patch für diesen Hunk kann nicht erstellt werden.","codex.hunk.patch.partialSuccess":"Teilweise erfolgreich.","codex.hunk.patch.revertError":"Unstaging fehlgeschlagen","codex.hunk.patch.revertSuccess":"Unstaging erfolgreich","codex.hunk.patch.success":"Staging erfolgreich","codex.legal.autonomy.details":"Weitere Details findest du unter {link}","codex.legal.autonomy.details.link":"Codex-Dokumentation","codex.legal.autonomy.title":"Entscheide, wie viel Autonomie du gewähren möchtest","codex.legal.backButton":"Zurück","codex.legal.cloud.taskOne.meta":"openai/agi · Oct 12","codex.legal.cloud.taskOne.title":"Repository einem neuen Designer erklären","codex.legal.cloud.taskThree.meta":"openai/codex · Oct 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Erscheinungsbild im Dark Mode erstellen","codex.legal.cloud.taskTwo.meta":"openai/agi · Oct 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Onboarding-Bug beheben","codex.legal.continue.apikey":"Weiter","codex.legal.continueButton":"Nächste","codex.legal.copilot.details":"Dein Copilot-Plan gilt für alle Modellaufrufe, die Abrechnung und die Ratenlimits. Die Nutzung der Codex-Erweiterung unterliegt sowohl {oaiTos} als auch {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHub Terms of Service","codex.legal.copilot.oaiTosLink":"OpenAI Codex Terms of Service","codex.legal.copilot.title":"Powered by GitHub Copilot","codex.legal.mistakes.review":"Den Code überprüfen, den es schreibt, und die Befehle, die es ausführt","codex.legal.mistakes.title":"Codex kann Fehler machen","codex.legal.powered.details":"Nutzt deine Plan-Ratenlimits und {link}","codex.legal.powered.details.link":"Einstellungen für Trainingsdaten","codex.legal.powered.title":"Unterstützt durch dein ChatGPT-Konto","codex.legal.step.cloud.subtitle":"Aufgaben an Codex senden, damit sie im Hintergrund ausgeführt werden und du konzentriert bleiben und schneller arbeiten kannst.","codex.legal.step.cloud.title":"Übergabe an Codex in der Cloud","codex.legal.step.intro.subtitle":"Codex navigiert, bearbeitet, führt Befehle aus und führt Tests direkt in deinem Repo aus. Unterstützt durch dein ChatGPT-Konto.","codex.legal.step.intro.title":"Codex in deiner IDE","codex.legal.step.todo.subtitle":"Eine TODO-Kommentierung schreiben und sie mit einem Klick in eine Codex-Aufgabe umwandeln.","codex.legal.step.todo.title":"TODOs in Codex-Aufgaben umwandeln","codex.legal.todo.heading":"// TODO: Schema implementieren","codex.localConversation.closeImagePreview":"Bildvorschau schließen","codex.localConversation.userImageAttachment":"Benutzeranhang","codex.localTaskRow.archiveTask":"Thread archivieren","codex.localTaskRow.awaitingApproval":"Genehmigung ausstehend","codex.localTaskRow.awaitingResponse":"Warte auf Reaktion","codex.localTaskRow.confirmArchiveTask":"Bestätigen","codex.loggedOut.apiKeyPrompt.cancel":"Abbrechen","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"API-Schlüssel abrufen","codex.loggedOut.apiKeyPrompt.inputLabel":"Gib deinen OpenAI-API-Schlüssel ein","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloud-Aufgaben mit API-Schlüssel deaktiviert","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloud-Aufgaben mit Copilot und API-Schlüssel deaktiviert","codex.loggedOut.signIn":"Mit ChatGPT anmelden","codex.loggedOut.signIn.cancel":"Anmeldung abbrechen","codex.loggedOut.signInWithCopilot":"Mit GitHub Copilot anmelden","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API-Schlüssel verwenden","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} Tool","codex.mcpTool.collapsedLabel.verb.called":"Aufgerufen","codex.mcpTool.collapsedLabel.verb.calling":"Wird aufgerufen","codex.mcpTool.embeddedResource.contentLabel":"Inhalt","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-Typ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Tool hat keinen Inhalt zurückgegeben","codex.mcpTool.rawPayloadHeading":"Rohe Nutzlast des Toolaufrufs {server}.{tool}","codex.menu.recent":"Aktuell","codex.menu.seeAllHistory":"Gesamten Verlauf ansehen","codex.modelCapacityBanner.headline.noReset":"{modelName} ist zurzeit ausgelastet. Versuche es später erneut oder starte ein neues Gespräch mit einem anderen Modell.","codex.modelCapacityBanner.headline.withReset":"{modelName} ist zurzeit ausgelastet. Versuche es nach {resetDate} erneut oder starte ein neues Gespräch mit einem anderen Modell.","codex.modelCapacityBanner.title":"Ausgewähltes Modell ist ausgelastet","codex.patch.change.contentsDeleted":"Inhalte gelöscht","codex.patch.change.created":"Erstellt","codex.patch.change.created-file":"Datei erstellt","codex.patch.change.creating":"Wird erstellt","codex.patch.change.deleted":"Gelöscht","codex.patch.change.deleted-file":"Datei gelöscht","codex.patch.change.deleting":"Löschen","codex.patch.change.edited":"Bearbeitet","codex.patch.change.edited-file":"Bearbeitete Datei","codex.patch.change.editing":"Wird bearbeitet","codex.patch.change.noChanges":"Keine Änderungen","codex.patch.change.rejected-add":"Abgelehnt","codex.patch.change.rejected-delete":"Abgelehnt","codex.patch.change.rejected-edit":"Abgelehnt","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} von {total} Aufgaben abgeschlossen","codex.plan.todoListCreated":"To-do-Liste mit {total} Aufgaben erstellt","codex.profileDropdown.apiKeyAuth":"Mit API-Schlüssel angemeldet","codex.profileDropdown.codexSettings":"Codex-Einstellungen","codex.profileDropdown.copilotAuth":"Mit Copilot angemeldet","codex.profileDropdown.defaultAccountTitle":"Standardkonto","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Eingabetaste, um lange Prompts zu senden","codex.profileDropdown.enterBehaviorError":"Aktualisieren der Einstellungen fehlgeschlagen","codex.profileDropdown.getPlus":"Hol dir ein Upgrade für höhere Limits","codex.profileDropdown.keyboardShortcuts":"Tastaturkürzel","codex.profileDropdown.language":"Sprache","codex.profileDropdown.languageDefault":"Automatisch erkennen","codex.profileDropdown.languageSearchPlaceholder":"Sprachen suchen","codex.profileDropdown.languageUpdateError":"Aktualisieren der Sprache fehlgeschlagen","codex.profileDropdown.logOut":"Abmelden","codex.profileDropdown.mcp":"MCP-Einstellungen","codex.profileDropdown.openConfigToml":"config.toml öffnen","codex.profileDropdown.openConfigToml.wsl":"config.toml in WSL-Umgebung öffnen","codex.profileDropdown.openExtensionSettings":"Einstellungen öffnen","codex.profileDropdown.openMcpSettings":"MCP-Einstellungen öffnen","codex.profileDropdown.openOnStartup":"Beim Start öffnen","codex.profileDropdown.openOnStartupError":"Aktualisieren der Einstellungen fehlgeschlagen","codex.profileDropdown.openSkillsSettings":"Fähigkeitseinstellungen öffnen","codex.profileDropdown.personalAccountTitle":"Persönliches Konto","codex.profileDropdown.queueFollowUps":"Folgeaufforderungen in Warteschlange einreihen","codex.profileDropdown.queueFollowUpsError":"Aktualisieren der Einstellungen fehlgeschlagen","codex.profileDropdown.readDocs":"Dokumentation lesen","codex.profileDropdown.readSkillsDocs":"Dokumentation lesen","codex.profileDropdown.runInWsl":"In WSL ausführen","codex.profileDropdown.runInWslError":"Aktualisieren der Einstellungen fehlgeschlagen","codex.profileDropdown.runInWslTooltip":"Codex wird in WSL ausgeführt. Empfohlen für bessere Sandbox-Sicherheit und höhere Performance.","codex.profileDropdown.settings":"IDE-Einstellungen","codex.profileDropdown.settingsPage":"Einstellungen","codex.profileDropdown.signInWithOpenAI":"Mit ChatGPT anmelden","codex.profileDropdown.skills":"Fähigkeitseinstellungen","codex.profileDropdown.switchToCopilotAccount":"Copilot-Konto verwenden","codex.profileDropdown.switchToOpenAIAccount":"OpenAI-Konto verwenden","codex.profileDropdown.todoCodelens":"TODO-Kommentare beheben","codex.profileDropdown.todoCodelensError":"Aktualisieren der Einstellungen fehlgeschlagen","codex.profileDropdown.windowsDocumentation":"Windows-Dokumentation","codex.profileFooter.signedInFallback":"Einstellungen","codex.profileFooter.upgrade":"Upgrade","codex.recentTasksMenu.clearSearch":"Suche löschen","codex.recentTasksMenu.cloud":"Cloud-Aufgaben","codex.recentTasksMenu.count":"{count, plural, =0 {Keine Aufgaben in Bearbeitung} one {# Aufgabe in Bearbeitung} other {# Aufgaben in Bearbeitung}}","codex.recentTasksMenu.empty":"Noch keine Threads","codex.recentTasksMenu.errorCloud":"Aufgaben konnten nicht geladen werden.","codex.recentTasksMenu.errorCloud.inline":"Cloud-Aufgaben konnten nicht geladen werden.","codex.recentTasksMenu.filterAll":"Alle","codex.recentTasksMenu.filterCloudTasks":"Cloud-Aufgaben filtern","codex.recentTasksMenu.filterTooltip":"Aufgaben nach Umgebung filtern","codex.recentTasksMenu.local":"Lokale Aufgaben","codex.recentTasksMenu.recent":"Alle Aufgaben","codex.recentTasksMenu.search":"Kürzlich verwendete Aufgaben durchsuchen","codex.recentTasksMenu.searchEmpty":"Kein Ergebnis","codex.recentTasksMenu.tooltip":"Aufgabenverlauf","codex.recentTasksMenu.trigger":"Kürzlich verwendete Aufgaben. {count, plural, one {# in Bearbeitung} other {# in Bearbeitung}}","codex.remoteConversation.applyDiff.applyCta":"Änderungen übernehmen","codex.remoteConversation.applyDiff.dropdownTitle":"Änderungen für lokalen Branch übernehmen","codex.remoteConversation.applyDiff.revertCta":"Änderungen rückgängig machen","codex.remoteConversation.closeImagePreview":"Bildvorschau schließen","codex.remoteConversation.codexCloudTask":"Du siehst dir eine <u>Codex-Cloud</u> Aufgabe an","codex.remoteConversation.errorWithMessage":"Fehler: {message}","codex.remoteConversation.loadingImage":"Bild wird geladen","codex.remoteConversation.openInWeb":"Im Web öffnen","codex.remoteConversation.streaming":"Wird gestartet","codex.remoteConversation.turnFailed":"Bei dieser Aufgabe ist ein Fehler aufgetreten","codex.remoteConversation.turnTab.loading":"Versuch {number}","codex.remoteConversation.turnTab.title":"Versuch {number}","codex.remoteConversation.userImageAttachment":"Benutzeranhang","codex.remoteConversation.viewPreviousTurns":"Im Internet öffnen","codex.remoteConversation.viewPreviousTurns.buttonText":"Öffnen","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Im Internet öffnen","codex.review.copyGitApplyCommand":"Befehl „git apply“ kopieren","codex.review.copyGitApplyCommand.toast":"Befehl „git apply“ in Zwischenablage kopiert","codex.review.diffTooLarge.description":"Dieser Diff ist zu groß, um ihn in der Überprüfung anzuzeigen.","codex.review.diffTooLarge.title":"Diff ist zu groß zur Anzeige","codex.review.expandOrCollapseDiffButton.collapse":"Alle Diffs einklappen","codex.review.expandOrCollapseDiffButton.expand":"Alle Diffs ausklappen","codex.review.expandOrCollapseDiffMenu.collapse":"Alle Diffs einklappen","codex.review.expandOrCollapseDiffMenu.expand":"Alle Diffs ausklappen","codex.review.fileSearch.clear":"Dateifilter löschen","codex.review.fileSearch.empty":"Es gibt keine Dateien, die mit dem aktuellen Filter übereinstimmen.","codex.review.fileSearch.label":"Dateien filtern","codex.review.fileSearch.placeholder":"Dateien filtern...","codex.review.filesChanged":"{num, plural, =0 {Keine Dateien geändert} one {# Datei geändert} other {# Dateien geändert}}","codex.review.find.loadMore":"Weitere Übereinstimmungen laden","codex.review.fullReview.hideFileTree":"Dateibaum ausblenden","codex.review.fullReview.showFileTree":"Dateibaum einblenden","codex.review.header.moreOptions":"Optionen überprüfen","codex.review.largeDiff.banner":"Große Diff erkannt — Dateien werden nacheinander angezeigt","codex.review.loadFullFiles.disable":"Keine vollständigen Dateien laden","codex.review.loadFullFiles.enable":"Vollständige Dateien laden","codex.review.noDiff":"Dateiänderungen werden hier angezeigt","codex.review.noDiff.gitInit.createRepository":"Git-Repository erstellen","codex.review.noDiff.gitInit.creating":"Wird erstellt…","codex.review.noDiff.gitInit.error":"Git-Init fehlgeschlagen: {message}","codex.review.noDiff.gitInit.success":"Git-Repository erstellt","codex.review.noDiff.gitRepoRequired.description":"Änderungen in diesem Projekt verfolgen und rückgängig machen","codex.review.noDiff.gitRepoRequired.title":"Git-Repository erstellen","codex.review.noDiff.orNoLongerAvailable":"oder•die•neuesten•Diffs•sind•nicht•mehr•verfügbar","codex.review.noDiff.reverted":"Der letzte Schritt wurde rückgängig gemacht","codex.review.noDiff.revertedOrCommitted":"Der letzte Durchlauf wurde entweder zurückgesetzt oder übernommen","codex.review.refreshGitQueries":"Aktualisieren","codex.review.revert.file.error":"Rückgängigmachen von {path} fehlgeschlagen.","codex.review.revert.file.partialSuccess":"{path} teilweise rückgängig gemacht","codex.review.revert.file.success":"{path} rückgängig gemacht","codex.review.revert.hunk.error":"Rückgängigmachen von Hunk {hunkNumber} in {path} fehlgeschlagen","codex.review.revert.hunk.partialSuccess":"Hunk {hunkNumber} in {path} teilweise rückgängig gemacht","codex.review.revert.hunk.success":"Hunk {hunkNumber} in {path} rückgängig gemacht","codex.review.revert.section.error":"Rückgängigmachen des Abschnitts fehlgeschlagen.","codex.review.revert.section.partialSuccess":"Abschnitt teilweise rückgängig gemacht","codex.review.revert.section.success":"Abschnitt rückgängig gemacht","codex.review.revertDialog.cancel":"Abbrechen","codex.review.revertDialog.confirm":"Bestätigen","codex.review.revertDialog.message":"Diese Aktion entfernt alle diese Änderungen.","codex.review.revertDialog.skip":"Nicht noch einmal fragen","codex.review.revertDialog.title":"Änderungen rückgängig machen?","codex.review.richPreview.disable":"Erweiterte Vorschau deaktivieren","codex.review.richPreview.enable":"Erweiterte Vorschau aktivieren","codex.review.source.cloud":"Cloud-Änderungen","codex.review.source.local.all":"Alle Branch-Änderungen","codex.review.source.local.lastTurn":"Änderungen der letzten Runde","codex.review.source.local.uncommitted":"Nicht übernommene Änderungen","codex.review.source.worktree":"Nicht committete Worktree-Änderungen","codex.review.stageFilter.empty.staged.description":"Änderungen übernehmen und stagen","codex.review.stageFilter.empty.staged.title":"Keine gestagten Änderungen","codex.review.stageFilter.empty.unstaged.description":"Code-Änderungen werden hier angezeigt.","codex.review.stageFilter.empty.unstaged.title":"Keine nicht gestagten Änderungen","codex.review.stageFilter.staged":"Gestagt","codex.review.stageFilter.staged.count":"Gestagt: {count}","codex.review.stageFilter.unstaged":"Nicht gestagt","codex.review.stageFilter.unstaged.count":"Nicht gestagt: {count}","codex.review.switchToSplit":"Zu geteiltem Diff wechseln","codex.review.switchToUnified":"Zu Unified-Diff wechseln","codex.review.toggleDiffView":"Diff-Ansicht umschalten","codex.review.wordDiffs.disable":"Wortänderungen deaktivieren","codex.review.wordDiffs.enable":"Wort-Diffs aktivieren","codex.review.wrap.disable":"Zeilenumbruch deaktivieren","codex.review.wrap.enable":"Zeilenumbruch aktivieren","codex.section.patch.missing":"Patch für diesen Abschnitt kann nicht erstellt werden.","codex.shell.collapse":"Shell einklappen","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Shell-Inhalte kopiert","codex.shell.copy.copyTooltip":"Shell-Inhalte kopieren","codex.shell.copyCommand":"Befehl kopieren","codex.shell.copyOutput":"Ausgabe kopieren","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"Shell ausklappen","codex.shell.name":"Shell","codex.shell.noOutput":"Kein Output","codex.signInFailed.message":"Anmeldung fehlgeschlagen: {rawMessage}","codex.stories.toast.show":"Toast anzeigen","codex.stories.tooltip.basic":"Dies ist ein Tooltip","codex.stories.tooltip.hoverMe":"Mit der Maus darüberfahren","codex.stories.tooltip.largerOffset":"Dieser Tooltip hat einen größeren Versatz","codex.stories.tooltip.offsetButton":"Größerer Versatz","codex.stories.tooltip.shortcutButton":"Mit Tastenkürzel","codex.stories.tooltip.withShortcut":"Terminal anzeigen/ausblenden","codex.taskRow.title":"Neuer Thread","codex.taskRowLayout.confirm":"Bestätigen","codex.threadFindBar.chatFilter":"Chat durchsuchen","codex.threadFindBar.close":"Suche schließen","codex.threadFindBar.diffFilter":"Diffs durchsuchen","codex.threadFindBar.label":"Im Thread suchen","codex.threadFindBar.nextResult":"Nächstes Ergebnis","codex.threadFindBar.noResults":"0 Ergebnisse","codex.threadFindBar.placeholder":"Thread durchsuchen…","codex.threadFindBar.placeholder.extension":"Thread durchsuchen…","codex.threadFindBar.placeholder.review":"Diff durchsuchen...","codex.threadFindBar.placeholder.review.extension":"Diff durchsuchen...","codex.threadFindBar.previousResult":"Vorheriges Ergebnis","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# Datei geändert} other {# Dateien geändert}}","codex.unifiedDiff.inlineLargeFile":"Zu groß für die Inline-Anzeige","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Rückgängig machen","codex.unifiedDiff.revertPatchError":"Änderungen konnten nicht zurückgesetzt werden","codex.unifiedDiff.revertPatchSuccess":"Änderungen zurückgesetzt","codex.unifiedDiff.reviewChangesSuffix":"Änderungen","codex.unifiedDiff.reviewShort":"Überprüfen","codex.unifiedDiff.viewDiffTooltip":"Überprüfen","codex.upsellBanner.business.headline":"Sende eine Anfrage an den Admin, falls du jetzt mehr Zugriff benötigst, oder warte bis {resetDate}.","codex.upsellBanner.cbp.headline":"Sende eine Anfrage an deinen Admin, falls du jetzt mehr Zugriff benötigst.","codex.upsellBanner.cta.addCredits":"Credits hinzufügen","codex.upsellBanner.cta.upgradeAccount":"Upgrade","codex.upsellBanner.cta.viewUsage":"Nutzung anzeigen","codex.upsellBanner.free.trialHeadline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt. Um Codex weiterhin zu nutzen und Zugang zu GPT-5.3-Codex zu erhalten, starte heute deine kostenlose Testversion für Plus.","codex.upsellBanner.freeOrGo.headline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt. Um Codex weiter zu nutzen, hol dir heute noch ein Upgrade auf Plus.","codex.upsellBanner.general.headline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt.","codex.upsellBanner.general.title":"Du hast das Limit an Codex-Nachrichten erreicht","codex.upsellBanner.go.trialHeadline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt. Um Codex weiterhin zu nutzen, starte heute deine kostenlose Testversion für Plus.","codex.upsellBanner.plus.headline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt. Um Codex weiter zu nutzen, füge Credits hinzu oder hol dir heute noch ein Upgrade auf Pro.","codex.upsellBanner.pro.headline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt. Füge jetzt Credits hinzu, um Codex weiter zu nutzen.","codex.userMessage.autoResolveSync":"Konflikte automatisch auflösen","codex.userMessage.commentCount":"{count, plural, one {# Kommentar} other {# Kommentare}}","codex.userMessage.copiedAriaLabel":"Kopiert","codex.userMessage.copiedTooltip":"Kopiert","codex.userMessage.copyAriaLabel":"Nachricht kopieren","codex.userMessage.copyTooltip":"Kopieren","codex.userMessage.implementPlan":"Plan implementieren","codex.userMessage.noContent":"(Kein•Inhalt)","codex.userMessage.priorConversation":"Verweist auf vorheriges Gespräch","codex.userMessage.reviewMode":"Überprüfungsmodus","codex.webSearch.summary":"{details} {label}","codex.webSearch.summary.details":"für {query}","codex.webSearch.summary.verb.completed":"Internet durchsucht","codex.webSearch.summary.verb.inProgress":"Internet wird durchsucht","codex.windowsInstallWslBanner.dismiss":"Verwerfen","codex.windowsInstallWslBanner.installWslCta":"Sandbox aktivieren","codex.windowsInstallWslBanner.learnMore":"Mehr erfahren","codex.windowsSandboxBanner.content":"Der Agent-Modus verwendet unter Windows eine experimentelle Sandbox, um den Zugriff auf Dateisystem und Netzwerk einzuschränken. {sandboxLink}","codex.windowsSandboxBanner.title":"Sandbox für den Agent-Modus aktivieren","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-Einstellungen","codexUpgradeModal.body":"Unser neuestes Frontier-Modell für agentisches Coden: intelligenter, schneller und leistungsfähiger für allgemeine technische Programmieraufgaben. {link}","codexUpgradeModal.close":"Schließen","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Mehr erfahren","codexUpgradeModal.title":"Vorhang auf für GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex jetzt ausprobieren","codexUpgradeModal.useExistingModel":"Mit dem aktuellen Modell fortfahren","commentAttachments.numComments":"{count, plural, one {# Kommentar} other {# Kommentare}}","commentAttachments.removeAriaLabel":"Kommentaranhang entfernen","common.close":"Schließen","composer.addContext.openFilePickerError":"Dateiauswahl konnte nicht geöffnet werden.","composer.addContextDropdown.ariaLabel":"Dateien und mehr hinzufügen","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Dateien und mehr hinzufügen","composer.addPhotosAndFiles":"Fotos und Dateien hinzufügen","composer.atMentionList.emptyQuery":"Tippe, um nach Dateien zu suchen","composer.atMentionList.loading":"Suchvorgang läuft…","composer.atMentionList.noResults":"Keine Ergebnisse","composer.attemptsSelector.option":"{count, plural, one {# Version} other {# Versionen}}","composer.attemptsSelector.tooltip":"Anzahl der parallelen Versuche, die Codex ausführen soll","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Anhalten","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokal","composer.cloudFollowUp.whereRun":"Wo soll dieser Folgeauftrag ausgeführt werden?","composer.cloudTaskCreationError":"Fehler beim Erstellen der Cloud-Aufgabe","composer.cloudTaskError":"Fehler beim Erstellen der Aufgabe","composer.contextWindow.autoCompactionTooltipLine1":"Codex komprimiert seinen Kontext automatisch.","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontextfenster:","composer.contextWindowUsageStatusFull":"{usage} % voll","composer.contextWindowUsageStatusLeft":"{usage} % verwendet ({remaining} % verbleibend)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k Tokens verwendet","composer.customCliTooltip":"Benutzerdefinierte CLI-Executable verwenden","composer.dictation.aria":"Diktieren","composer.dictation.cancel.aria":"Diktat beenden","composer.dictation.cancel.tooltip":"Diktat beenden","composer.dictation.startError":"Diktat konnte nicht gestartet werden","composer.dictation.submit.aria":"Transkribieren und übermitteln","composer.dictation.submit.tooltip":"Transkribieren und übermitteln","composer.dictation.tooltip":"Zum Diktieren halten","composer.dictation.transcribeError":"Audio konnte nicht transkribiert werden","composer.dictation.unsupported":"Diktat auf diesem Gerät nicht verfügbar","composer.dropOverlay.holdShift":"{key} halten, um abzulegen","composer.dropOverlay.shiftKey":"Umschalttaste","composer.environmentSelector.createNew":"Neue erstellen","composer.environmentSelector.error":"Fehler beim Laden der Umgebungen","composer.environmentSelector.goBack":"Zurück zum Composer","composer.environmentSelector.title":"Umgebung auswählen","composer.environmentSelector.tooltip":"Cloud-Umgebung auswählen","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Datei auswählen","composer.filePicker.selectFiles":"Dateien auswählen","composer.followerTooltip":"Um fortzufahren, kehre zu dem Fenster zurück, in dem dieses Gespräch gestartet wurde.","composer.footer.branchSwitch.checkoutError":"Branch konnte nicht gewechselt werden: {message}","composer.footer.branchSwitch.createAndCheckout":"Neuen Branch erstellen und auschecken…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Änderungen committen, um einen neuen Branch zu erstellen und auszuchecken","composer.footer.branchSwitch.createBranchError":"Branch konnte nicht erstellt werden: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Branch-Name","composer.footer.branchSwitch.createDialog.branchExistsError":"Datei ist bereits vorhanden.","composer.footer.branchSwitch.createDialog.close":"Schließen","composer.footer.branchSwitch.createDialog.createAndCheckout":"Erstellen und auschecken","composer.footer.branchSwitch.createDialog.placeholder":"neuer-branch","composer.footer.branchSwitch.createDialog.title":"Branch erstellen und auschecken","composer.footer.branchSwitch.createDialog.trailingSlashError":"Der Branch-Name darf nicht mit „/“ enden.","composer.footer.branchSwitch.tooltip":"Branch wechseln","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Änderungen in {fileCount, plural, one {# Datei} other {# Dateien}} committen, um {branchName} auszuchecken.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Committen","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"Änderungen in {fileCount, plural, one {# Datei} other {# Dateien}}, um {branchName} auszuchecken.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Abbrechen","composer.footer.branchSwitch.uncommittedDialog.commit":"Committen und Branch wechseln…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Deine Änderungen an den folgenden Dateien würden beim Auschecken überschrieben:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Committe deine Änderungen, um fortzufahren.","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"der ausgewählte Branch","composer.footer.branchSwitch.uncommittedDialog.title":"Änderungen committen, um den Branch zu wechseln","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nicht committet: {fileCount, plural, one {# Datei} other {# Dateien}}","composer.forkSlashCommand.description":"Diesen Thread lokal oder in einen neuen Worktree forken","composer.forkSlashCommand.option.local.description":"In neuem lokalen Thread fortfahren","composer.forkSlashCommand.option.local.title":"Lokal forken","composer.forkSlashCommand.option.worktree.description":"In neuem Worktree fortfahren","composer.forkSlashCommand.option.worktree.title":"In neuen Worktree forken","composer.forkSlashCommand.title":"Forken","composer.ideContextIndicator":"IDE-Kontext","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Kontext aus der IDE einbeziehen","composer.ideContextIndicator.tooltipToggle":"zum Umschalten","composer.ideContextSlashCommand.disableDescription":"IDE-Kontext deaktivieren","composer.ideContextSlashCommand.enableDescription":"Aktuelle Auswahl, geöffnete Dateien und weiteren Kontext aus deiner IDE einbeziehen","composer.ideContextSlashCommand.title":"IDE-Kontext","composer.imageInputsUnsupported":"Dieses Modell unterstützt keine Bildeingaben. Versuche es mit einem anderen.","composer.imageUploadFailed":"Bild konnte nicht hochgeladen werden","composer.includeIdeContextDropdown":"IDE-Kontext einbeziehen","composer.includeIdeContextDropdown.ariaLabel":"IDE-Kontext einbeziehen","composer.localCwdDropdown.addWorkspaceRoot":"Neues Projekt hinzufügen","composer.localCwdDropdown.noActiveRoot":"Wähle dein Projekt aus.","composer.localCwdDropdown.noResults":"Keine Ordner gefunden","composer.localCwdDropdown.title":"Wähle dein Projekt aus.","composer.localTaskError":"Fehler beim Starten des Gesprächs","composer.mcpSlashCommand.description":"MCP-Serverstatus anzeigen","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nicht authentifiziert","composer.mcpStatus.authOauth":"Authentifiziert (OAuth)","composer.mcpStatus.authToken":"Authentifiziert (API-Schlüssel)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Schließen","composer.mcpStatus.disabled":"Deaktiviert","composer.mcpStatus.emptyLabel":"Server:","composer.mcpStatus.emptyValue":"Keine MCP-Server konfiguriert","composer.mcpStatus.enabled":"Aktiviert","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"MCP-Status konnte nicht geladen werden","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Modus wechseln","composer.mode.agentMode.custom":"Individuell","composer.mode.agentMode.custom.dropdownLabel":"Individuell","composer.mode.agentMode.custom.option":"Benutzerdefiniert (config.toml)","composer.mode.agentMode.custom.optionLabel":"Benutzerdefiniert (config.toml)","composer.mode.agentMode.customInfo.cancel":"Abbrechen","composer.mode.agentMode.customInfo.cli":"Du kannst diese Einstellungen über die CLI anpassen oder die Datei direkt bearbeiten.","composer.mode.agentMode.customInfo.confirm":"Benutzerdefinierten Modus verwenden","composer.mode.agentMode.customInfo.description":"Der benutzerdefinierte Modus wendet die Genehmigungs- und Sandbox-Richtlinien an, die du in deiner<link>config.toml</link>Datei definiert hast.","composer.mode.agentMode.customInfo.docs":"Weitere Informationen zum Konfigurieren von Genehmigungs- und Sandbox-Richtlinien in der<link>Ausführungsumgebungs-Dokumentation</link>.","composer.mode.agentMode.customInfo.refresh":"Änderungen werden wirksam, wenn der Agent das nächste Mal ausgeführt wird.","composer.mode.agentMode.customInfo.title":"So funktioniert der benutzerdefinierte Modus","composer.mode.agentMode.fullAccess":"Agent (voller Zugriff)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (voller Zugriff)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (voller Zugriff)","composer.mode.agentMode.fullAccessConfirm.caution":"Sei vorsichtig, wenn du vollen Zugriff aktivierst. Dadurch steigt das Risiko von Datenverlust, Lecks oder unerwartetem Verhalten deutlich.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ja, trotzdem fortfahren","composer.mode.agentMode.fullAccessConfirm.description":"Wenn Codex mit vollem Zugriff läuft, kann es jede Datei auf deinem Computer bearbeiten und Befehle mit Netzwerk ausführen – ohne deine Genehmigung.","composer.mode.agentMode.fullAccessConfirm.goBack":"Abbrechen","composer.mode.agentMode.fullAccessConfirm.title":"Vollen Zugriff aktivieren?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Modus wechseln","composer.mode.agentMode.tooltip.auto":"Dateien lesen und bearbeiten sowie Befehle ausführen.","composer.mode.agentMode.tooltip.custom":"Die neuesten in der config.toml definierten Genehmigungs- und Sandbox-Richtlinien verwenden.","composer.mode.agentMode.tooltip.fullAccess":"Codex kann Dateien außerhalb des Projekts bearbeiten und Befehle mit Netzwerkzugang ausführen. Gehe also vorsichtig vor.","composer.mode.agentMode.tooltip.readOnly":"Erfordert Genehmigung zum Bearbeiten von Dateien und Ausführen von Befehlen.","composer.mode.cloud.tooltip":"In einer Cloud-Umgebung arbeiten","composer.mode.contactAdmin":"Um mehr Zugriff zu erhalten, kontaktiere deinen Admin","composer.mode.local":"Lokal","composer.mode.local.learnMore":"Mehr erfahren","composer.mode.local.model.custom":"Benutzerdefiniert","composer.mode.local.model.loadingModel":"Modell wird geladen","composer.mode.local.model.selecrReasoningEffort":"Reasoning auswählen","composer.mode.local.model.selectModel":"Modell auswählen","composer.mode.local.model.tooltip":"Modell auswählen","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Hoch","composer.mode.local.reasoning.low.label":"Niedrig","composer.mode.local.reasoning.medium.label":"Mittel","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Keinen","composer.mode.local.reasoning.xhigh.label":"Extra hoch","composer.mode.localRemoteWhereRun":"Auswählen, wo die Aufgabe ausgeführt werden soll","composer.mode.newTask.header":"Weiter in","composer.mode.rateLimit.day":"{days} Tag(e)","composer.mode.rateLimit.heading":"Verbleibende Ratenlimits","composer.mode.rateLimit.hour":"{hours} Std.","composer.mode.rateLimit.minute":"{minutes} Min.","composer.mode.rateLimit.modelSectionLabel":"Limit von {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {Wochenlimit} other {Wochenlimit {weeks}}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Wöchentlich} other {Woche {weeks}}}","composer.mode.remote.connectToCloud":"Codex Web verbinden","composer.mode.remote.connectToCloudDisabledTooltip":"Eine Umgebung über Codex Web einrichten, um Aufgaben in die Cloud senden zu können","composer.mode.remote.selectEnvironment":"Umgebung auswählen","composer.mode.remote.sendToCloud":"In die Cloud senden","composer.mode.remote.setupViaWeb":"Eine Umgebung über Codex Web einrichten","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"In Cloud-Umgebung arbeiten","composer.mode.segmentedToggle.local.tooltip":"In deinem lokalen Projekt arbeiten","composer.mode.segmentedToggle.worktree.tooltip":"In einem parallelen Worktree arbeiten","composer.mode.upgradeToPlus":"Auf Plus upgraden","composer.mode.upgradeToPro":"Auf Pro upgraden","composer.mode.workLocally":"Lokales Projekt","composer.mode.workLocally.currentBranchFallback":"dein Branch","composer.mode.workLocally.tooltip":"Arbeite in {branchName}","composer.mode.worktree":"Neuer Worktree","composer.mode.worktree.submoduleWarning":"Dieses Repo enthält Git-Submodule. Die Erstellung des Worktrees kann fehlschlagen.","composer.mode.worktree.tooltip":"Eine Kopie deines lokalen Projekts erstellen, um parallel zu arbeiten","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Durch einen Modellwechsel während des Gesprächs wird die Leistung beeinträchtigt.","composer.newChat.heading.browser":"Was programmieren wir als Nächstes?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex verwendet die in config.toml definierte Berechtigung.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex hat vollen Zugriff auf deinen Computer (höheres Risiko).","composer.permissionsDropdown.custom.label":"Benutzerdefiniert (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Benutzerdefiniert (config.toml)","composer.permissionsDropdown.default.label":"Standardberechtigungen","composer.permissionsDropdown.default.optionLabel":"Standardberechtigungen","composer.permissionsDropdown.default.tooltip":"Codex führt Befehle automatisch in einer Sandbox aus.","composer.permissionsDropdown.disabled.requirements":"Berechtigungen sind in requirements.toml gesperrt.","composer.permissionsDropdown.fullAccess.disabled":"Vollzugriff ist durch requirements.toml deaktiviert.","composer.permissionsDropdown.fullAccess.label":"Vollzugriff","composer.permissionsDropdown.fullAccess.optionLabel":"Vollzugriff","composer.permissionsDropdown.trigger.tooltip":"Berechtigungen ändern","composer.personalitySlashCommand.description.friendly":"Freundlich, kooperativ und hilfsbereit","composer.personalitySlashCommand.description.pragmatic":"Effizient, aufgabenorientiert und direkt","composer.personalitySlashCommand.label.friendly":"Freundlich","composer.personalitySlashCommand.label.pragmatic":"Pragmatisch","composer.personalitySlashCommand.notApplicableSuffix":"(Gilt nicht für aktuelles Modell)","composer.personalitySlashCommand.title":"Persönlichkeit","composer.placeholder.cloudFollowUp.directFollowUp":"Folgeaktion zu dieser Cloud-Aufgabe","composer.placeholder.cloudFollowUp.local":"Eine neue lokale Aufgabe erstellen, die auf diese Cloud-Aufgabe verweist","composer.placeholder.cloudFollowUp.workingTree":"Eine neue Cloud-Aufgabe erstellen, die deinen aktuellen Code enthält und auf diese Aufgabe verweist","composer.placeholder.localFollowUp.cloud":"Folgeaktion in neuer Cloud-Aufgabe","composer.placeholder.localFollowUp.locally":"Nach Folgeänderungen fragen","composer.placeholder.newTask.cloud":"Codex auffordern, irgendetwas in der Cloud zu tun","composer.placeholder.newTask.doAnything":"Codex bitten, alles Mögliche zu tun","composer.placeholder.newTask.locally":"Frag Codex irgendetwas, @ zum Hinzufügen von Dateien, / für Befehle","composer.planModeDropdown":"Planmodus","composer.planModeDropdown.ariaLabel":"Planmodus","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Einen Plan mit Codex erstellen","composer.planModeIndicator.tooltipToggle":"zum Umschalten","composer.planSlashCommand.disableDescription":"Planmodus ausschalten","composer.planSlashCommand.enableDescription":"Planmodus einschalten","composer.planSlashCommand.title":"Planmodus","composer.priorContext.label":"Vorheriger Kontext","composer.priorContext.removeAriaLabel":"Vorherigen Kontext entfernen","composer.queuedMessage.delete":"Nachricht in der Warteschlange löschen","composer.queuedMessage.edit":"Nachricht bearbeiten","composer.queuedMessage.more":"Aktionen für Nachrichten in der Warteschlange","composer.queuedMessage.sendNow":"Steuern","composer.queuedMessage.sendNowTooltip":"Jetzt senden, ohne die Arbeit zu unterbrechen","composer.queuedMessage.turnOff":"Warteschlange deaktivieren","composer.reasoningEffort.local.reasoning.tooltip":"Reasoning-Aufwand auswählen","composer.remote.branchStartingPoint":"Von welchem Branch soll diese Aufgabe starten?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Eine neue Aufgabe erstellen, die auf diese Cloud-Aufgabe verweist.","composer.remote.currentEditsSuffix.useLocal":"mit•lokalen•Codeänderungen","composer.remote.directFollowUp":"Lokale Codeänderungen nicht verwenden","composer.remote.errorLoadingBranches":"Fehler beim Laden der Branches","composer.remote.fromBranch":"von {branch}","composer.remote.fromCurrentBranch":"Von {branch} (aktuell)","composer.remote.loadingMoreBranches":"Wird geladen...","composer.remote.localFileStateHeading":"Lokaler•Dateistatus","composer.remote.localWorkingTree":"Lokale Änderungen verwenden","composer.remote.startingPoint":"Von welchem Code soll diese Aufgabe starten?","composer.reviewMode.branches.error":"Branches konnten nicht geladen werden","composer.reviewMode.branches.retry":"Erneut versuchen","composer.reviewMode.gitRoot.error":"Git-Root nicht gefunden","composer.reviewMode.option.baseBranch.simple":"Überprüfung gegen den Basis-Branch","composer.reviewMode.option.unstaged.simple":"Nicht übernommene Änderungen überprüfen","composer.reviewMode.quickReviewError":"Code-Überprüfung konnte nicht gestartet werden","composer.reviewMode.title":"Code-Überprüfung","composer.sandboxButton.unlock.disabled.tooltip":"Vollzugriff ist durch requirements.toml deaktiviert.","composer.sandboxButton.windowsSandboxDialog.content":"Codex kann unter Windows eine experimentelle Sandbox verwenden, um den Zugriff auf Dateisystem und Netzwerk einzuschränken. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows-Sandbox aktivieren?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Schreibgeschützt verwenden","composer.searchEnvironments":"Umgebungen suchen","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Fähigkeiten werden geladen...","composer.skillMentionList.noResults":"Keine Fähigkeiten gefunden","composer.slashCommands.cloudEnvironment.title":"Cloud-Umgebung","composer.slashCommands.dialogLabel":"Slash-Befehlsmenü","composer.slashCommands.dialogTitle":"Slash-Befehle","composer.slashCommands.disabledTooltip":"Ein neues Gespräch starten, um Slash-Befehle zu verwenden","composer.slashCommands.inputPlaceholder":"Suchen","composer.slashCommands.noResults":"Keine Befehle","composer.slashCommands.skillsGroup":"Fähigkeiten","composer.slashCommands.tooltip":"Slash-Befehle durchsuchen","composer.status.close":"Schließen","composer.statusPlain.alertLabel":"Alarm:","composer.statusPlain.alertValue":"{remaining} % übrig•auf {window}","composer.statusPlain.contextLabel":"Kontext:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} verwendet / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % übrig","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Limit von {modelName}:","composer.statusPlain.rateLimitDays":"{count}-Tage-Limit","composer.statusPlain.rateLimitFallbackLabel":"Ratenlimit:","composer.statusPlain.rateLimitHours":"{count}-Stunden-Limit","composer.statusPlain.rateLimitLabelBase":"Ratenlimit","composer.statusPlain.rateLimitMinutes":"{count}-Minuten-Limit","composer.statusPlain.rateLimitPercent":"{remaining} % übrig","composer.statusPlain.rateLimitReset":"Wird zurücksetzt {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"Zeit•für•Zurücksetzen•nicht•verfügbar","composer.statusPlain.rateLimitUnavailable":"Nicht verfügbar","composer.statusPlain.sessionCopiedAriaLabel":"Sitzungs-ID•kopiert","composer.statusPlain.sessionCopiedTooltip":"ID•kopiert","composer.statusPlain.sessionCopyAriaLabel":"Sitzungs-ID•kopieren","composer.statusPlain.sessionCopyTooltip":"ID•kopieren","composer.statusPlain.sessionLabel":"Sitzung:","composer.statusSlashCommand.description":"Thread-ID,•Kontextnutzung•und•Ratenlimits•anzeigen","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Senden der Nachricht fehlgeschlagen","composer.submit.emptyMessage":"Eine Nachricht eingeben, um zu beginnen","composer.submit.imageInputsUnsupported":"Entferne die Bilder oder wechsle das Modell, um diese Nachricht zu senden.","composer.submit.loadingLocalConfig":"Wird geladen...","composer.submit.missingCloudConfig":"Du musst eine Cloud-Umgebung auswählen","composer.submit.missingCloudTurn":"Für diese Aufgabe kann kein Folgeauftrag erstellt werden","composer.submit.noWorkspace":"Füge ein Projekt hinzu, um Codex zu nutzen.","composer.submit.waitForImageUploads":"Bilder werden hochgeladen…","composer.submitButtonTooltip.send":"Senden","composer.submitButtonTooltip.stop":"Anhalten","composer.worktreeEnvironment.create":"Lokale Umgebung erstellen","composer.worktreeEnvironment.default":"Standardumgebung","composer.worktreeEnvironment.error":"Fehler beim Laden der Umgebungen","composer.worktreeEnvironment.loading":"Umgebungen werden geladen...","composer.worktreeEnvironment.title":"Lokale Umgebung","composer.worktreeEnvironment.tooltip":"Lokale Umgebung auswählen","composer.worktreeSetupFailed":"Worktree-Einrichtung fehlgeschlagen. Prüfe .codex/environments auf ein Setup-Skript.","compoundButton.secondaryAction":"Sekundäre Aktion","copyButton.copied":"Kopiert","copyButton.copiedAriaLabel":"Kopiert","copyButton.copy":"Kopieren","copyButton.copyAriaLabel":"Kopieren","copyButton.copyCode":"Code kopieren","diff.actionButton.revertFile":"Datei zurücksetzen","diff.actionButton.revertHunk":"Zurücksetzen","diff.actionButton.revertSection":"Alle zurücksetzen","diff.actionButton.revertSectionLabel":"Alle zurücksetzen","diff.actionButton.stageFile":"Datei stagen","diff.actionButton.stageHunk":"Stagen","diff.actionButton.stageSection":"Alle stagen","diff.actionButton.stageSectionLabel":"Alle stagen","diff.actionButton.unstageFile":"Datei vom Staging entfernen","diff.actionButton.unstageHunk":"Vom Staging entfernen","diff.actionButton.unstageSection":"Alle vom Staging entfernen","diff.actionButton.unstageSectionLabel":"Alle vom Staging entfernen","diff.fileHeader.toggle":"Datei-Diff umschalten","electron.onboarding.login.apikey.cancel":"Abbrechen","electron.onboarding.login.apikey.continue":"Weiter","electron.onboarding.login.apikey.label":"OpenAI-API-Schlüssel","electron.onboarding.login.apikey.open":"API-Schlüssel eingeben","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Anmeldung abbrechen","electron.onboarding.login.chatgpt.continue":"Weiter mit ChatGPT","electron.onboarding.login.devbox":"Mit Remote-SSH verbinden","electron.onboarding.login.error":"Anmeldung fehlgeschlagen: {rawMessage}","electron.onboarding.login.snake.start":"Snake spielen","electron.onboarding.login.sshConfig.cancel":"Abbrechen","electron.onboarding.login.sshConfig.continue":"Weiter","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Die beste Methode, mit Agenten zu arbeiten","electron.onboarding.login.title":"Willkommen bei Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Weiter","electron.onboarding.welcome.doubleLimits.description":"Zur Feier des Starts der Codex-App schenken wir dir bis zum 2. April doppelt so hohe Ratenlimits.","electron.onboarding.welcome.freego.description":"Codex ist bis zum 2. März kostenlos in deinem Plan enthalten. Viel Spaß beim Coden!","electron.onboarding.welcome.new.title.anon":"Willkommen!","electron.onboarding.workspace.continue":"Weiter","electron.onboarding.workspace.empty":"Füge ein Projekt hinzu, um fortzufahren.","electron.onboarding.workspace.listLabel":"Verfügbare Projekte","electron.onboarding.workspace.loading":"Projekte werden geladen...","electron.onboarding.workspace.openFolder":"Projekt hinzufügen","electron.onboarding.workspace.selectAll":"Alle auswählen","electron.onboarding.workspace.skip":"Überspringen","electron.onboarding.workspace.skip.error":"Neues Projekt konnte nicht erstellt werden: {message}","electron.onboarding.workspace.skip.error.unknown":"Unbekannter Fehler","electron.onboarding.workspace.skipping":"Neues Projekt wird erstellt…","electron.onboarding.workspace.subtitle":"Codex kann Dateien bearbeiten und Befehle in ausgewählten Ordnern ausführen.","electron.onboarding.workspace.title":"Projekt auswählen","errorPage.list.checkSettings":"Versuche, deine IDE-Einstellungen zu aktualisieren","errorPage.list.configToml":"Überprüfe deine config.toml auf ungültige Einstellungen","errorPage.list.downloadExtension":"Versuche, eine andere Version der Erweiterung herunterzuladen","errorPage.list.runInWsl":"Überprüfe deine Einstellungen, um das Ausführen in WSL zu deaktivieren, wenn du Kompatibilitätsprobleme feststellst","execApprovalRequest.menu.runAlways":"Ja, und in dieser Sitzung nicht erneut fragen.","execApprovalRequest.menu.runAlwaysWithAmendment":"Ja, und bei Befehlen nicht mehr nachfragen, die mit {command} beginnen","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ja, und bei Befehlen nicht mehr nachfragen, die beginnen mit:","execApprovalRequest.menu.runOnce":"Ja","execApprovalRequest.prompt":"Willst du diesen Befehl ausführen?","execApprovalRequest.reject":"Nein","execFooter.exitCode":"Exit-Code {code}","execFooter.exitCode.unknown":"unbekannt","execFooter.success":"Erfolgreich abgeschlossen","feedback.dialog.category.badResult":"Schlechtes Ergebnis","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Gutes Ergebnis","feedback.dialog.category.other":"Sonstiges","feedback.dialog.descriptionPlaceholder":"Beschreibe das Problem hier","feedback.dialog.dismiss":"Verwerfen","feedback.dialog.includeLogsLabel":"Aktuelle Codex-Sitzungsprotokolle einbeziehen","feedback.dialog.submit":"Absenden","feedback.dialog.submitError":"Dein Feedback konnte nicht übermittelt werden. Bitte versuche es in einem Moment erneut.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"bestehendes offenes Problem","feedback.dialog.uploadedMessage.openIssue":"GitHub-Problem öffnen","feedback.dialog.uploadedMessage.withThread":"Feedback hochgeladen. Wenn das Problem weiterhin besteht, bitte {openIssueLink} oder Thread-ID in einem {existingIssueLink} angeben:","feedback.dialog.uploadedTitle":"Feedback hochgeladen","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} entfernen","header.back":"Zurück","header.recentChats":"Aufgaben","header.recentTasks.seeAll":"Alle ({total}) anzeigen","home.header.getPlus":"Plus holen","home.hero.letsBuild":"Viel Spaß beim Coden","homePage.mainContent":"Hauptinhalte","imageAttachment.defaultName":"Bild","imageAttachment.preview.close":"Bildvorschau schließen","imageAttachment.removeAriaLabel":"{filename} entfernen","implementPlanRequest.option.implement":"Ja, diesen Plan implementieren","implementPlanRequest.prompt":"Diesen Plan implementieren?","inbox.archived.deleteError":"Archivierter Run konnte nicht gelöscht werden.","inbox.archived.deleteRun":"Archivierten Run löschen","inbox.archived.deleteSuccess":"Der archivierte Thread wurde gelöscht und kann in den <settingsLink>archivierten Threads</settingsLink> eingesehen werden.","inbox.archived.inlineLabel.auto":"Dieser Thread wurde automatisch archiviert. <learnMoreLink>Mehr erfahren</learnMoreLink>","inbox.archived.inlineLabel.manual":"Dieser Thread wurde archiviert.","inbox.archived.noMessageFound":"Keine Nachricht gefunden","inbox.automations.createError":"Automatisierung konnte nicht erstellt werden.","inbox.automations.deleteConfirm.cancel":"Abbrechen","inbox.automations.deleteConfirm.confirm":"Automatisierung löschen","inbox.automations.deleteConfirm.description":"Dadurch wird die Automatisierung dauerhaft gelöscht und zukünftige Läufe gestoppt.","inbox.automations.deleteConfirm.title":"{name} löschen?","inbox.automations.deleteError":"Automatisierung konnte nicht gelöscht werden.","inbox.automations.editTooltip":"Automatisierung bearbeiten","inbox.automations.inProgress":"In Bearbeitung","inbox.automations.new":"Neu","inbox.automations.newToolbar":"Neue Automatisierung","inbox.automations.pauseTooltip":"Automatisierung anhalten","inbox.automations.resumeTooltip":"Automatisierung wieder aufnehmen","inbox.automations.startingNow":"Jetzt starten","inbox.automations.startsIn":"Startet in {startTime}","inbox.automations.status.active":"Aktiv","inbox.automations.status.paused":"Angehalten","inbox.automations.status.runs":"{count} Läufe","inbox.automations.status.started":"Gestartet am {date}","inbox.automations.updateError":"Automatisierung konnte nicht aktualisiert werden","inbox.automations.workspaceFallback":"–","inbox.filter.all":"Alle","inbox.filter.ariaLabel":"Posteingangselemente filtern","inbox.filter.unread":"Ungelesene","inbox.list.archived":"Archiviert","inbox.list.inProgress":"In Bearbeitung","inbox.list.recent":"Abgeschlossen","inbox.list.upNext":"Geplant","inbox.mode.automations":"Automatisierungen","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Keine Beschreibung vorhanden","inbox.openThread":"Thread öffnen","inbox.rightPanel.emptySubtitle":"Arbeit automatisieren, indem du geplante Aufgaben einrichtest","inbox.rightPanel.emptySubtitle.learnMore":"Automatisiere deine Arbeit, indem du geplante Threads einrichtest.<link>Mehr erfahren</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktive Automatisierung} other {# aktive Automatisierungen}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Keine ungelesenen Automatisierungen","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ungelesene Automatisierung} other {# ungelesene Automatisierungen}}","inbox.rightPanel.emptyTitle":"Kein Element ausgewählt","inbox.rightPanel.noThread":"Kein Thread für dieses Element","inbox.rightPanel.quickStart.header":"Mit einer Vorlage starten","inbox.untitled":"Unbenanntes Posteingangselement","loadingPage.documentationLink":"Dokumentation","loadingPage.errorDescription":"Codex ist mit folgendem Fehler abgestürzt:","loadingPage.errorDescription.documentation":"Klicke auf „Neu laden“, um die Codex-Erweiterung neu zu starten, oder besuche unsere {documentationLink} für zusätzliche Hilfe.","loadingPage.errorSignal":"Einige Dinge, die du versuchen kannst:","loadingPage.errorTitle":"Ein Fehler ist aufgetreten","loadingPage.openConfigToml":"Open Config.toml","loadingPage.reload":"Neu laden","localConversation.contextCompacted":"Kontext automatisch komprimiert","localConversation.contextCompacting":"Kontext wird automatisch komprimiert","localConversation.forkedFromConversation":"Von {threadTitle} geforkt","localConversation.merge.autoResolve.failed":"Anfrage zur automatischen Behebung fehlgeschlagen: {error}","localConversation.merge.autoResolve.sent":"Anfrage zur automatischen Behebung gesendet","localConversation.merge.autoResolveMerge.missingConversation":"Automatische Behebung ohne aktives Gespräch nicht möglich.","localConversation.merge.autoResolveMerge.request":"Zusammenführungskonflikte automatisch beheben","localConversation.modelChanged":"Modellwechsel von {fromModel} zu {toModel}.","localConversation.modelChanged.warning.line1":"Durch einen Modellwechsel während des Gesprächs wird die Leistung beeinträchtigt.","localConversation.modelChanged.warning.line2":"Kontext wird möglicherweise automatisch komprimiert.","localConversation.moveThread.createBranch.label":"Branch erstellen","localConversation.moveToLocal.disabled.loading":"Wird geladen...","localConversation.moveToLocal.modal.continue":"Weiter","localConversation.moveToLocal.modal.destinationLabel":"Verschieben nach","localConversation.moveToLocal.modal.retry":"Erneut versuchen","localConversation.moveToWorktree.modal.back":"Zurück","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Datei ist bereits vorhanden.","localConversation.moveToWorktree.modal.branchesError":"Branches konnten nicht geladen werden","localConversation.moveToWorktree.modal.branchesLoading":"Branches werden geladen…","localConversation.moveToWorktree.modal.branchesRetry":"Erneut versuchen","localConversation.moveToWorktree.modal.continue":"Weiter","localConversation.moveToWorktree.modal.retry":"Erneut versuchen","localConversation.moveToWorktree.modal.trailingSlashError":"Der Branch-Name darf nicht mit „/“ enden.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"neuer-branch","localConversation.personalityChanged":"Zu Persönlichkeit „{personality}“ gewechselt","localConversation.planSummary.collapse":"Planübersicht reduzieren","localConversation.planSummary.collapseTooltip":"Reduzieren","localConversation.planSummary.download":"Plan herunterladen","localConversation.planSummary.expand":"Planübersicht ausklappen","localConversation.planSummary.expandTooltip":"Erweitern","localConversation.planSummary.openInNewWindow":"Öffnen","localConversation.planSummary.openInNewWindow.tooltip":"In neuem Fenster öffnen","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Schreibplan","localConversation.planSummary.viewPlan":"Plandetails anzeigen","localConversation.remoteTaskCreated":"{taskLink} in Codex Cloud erstellt","localConversation.remoteTaskCreated.task":"Aufgabe","localConversation.scrollToBottomButton":"Nach unten scrollen","localConversation.sync.buttonLabel":"An lokal übergeben","localConversation.sync.buttonLabel.tooltip":"Übertrage Änderungen zwischen diesem Worktree und deinem lokalen Checkout.","localConversation.sync.modal.loading.title":"Änderungen werden übergeben…","localConversation.sync.modal.noChanges":"Keine Änderungen","localConversation.syncSetup.branchAriaLabel":"Branch-Name","localConversation.syncSetup.branchName":"Branch-Name","localConversation.syncSetup.branchPlaceholder.existing":"Bestehenden Branch auswählen","localConversation.syncSetup.branchPlaceholder.new":"codex/neue-funktion","localConversation.syncSetup.branchesLoading":"Branches werden geladen…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Bereits ausgecheckt","localConversation.syncSetup.checkoutClean":"Aktuell in {branchName}","localConversation.syncSetup.checkoutDirty":"Derzeit auf {branchName} mit nicht committeten Änderungen","localConversation.syncSetup.checkoutError":"Branch konnte nicht ausgecheckt werden: {message}","localConversation.syncSetup.checkoutLabel":"Jetzt lokal auschecken","localConversation.syncSetup.checkoutOnLocal":"An lokal übergeben","localConversation.syncSetup.checkoutPending":"Lokaler Status wird geprüft…","localConversation.syncSetup.checkoutUnavailable":"Lokaler Workspace nicht verfügbar","localConversation.syncSetup.checkoutUnknown":"Lokaler Branch nicht verfügbar","localConversation.syncSetup.continue":"Weiter","localConversation.syncSetup.createBranchError":"Übergabe-Branch konnte nicht festgelegt werden: {message}","localConversation.syncSetup.error":"Etwas hat nicht geklappt: {message}","localConversation.syncSetup.error.workingTreeMissing":"Worktree-Snapshot konnte nicht erstellt werden. Bitte versuche die Übergabe erneut.","localConversation.syncSetup.mode.ariaLabel":"Branch-Modus auswählen","localConversation.syncSetup.mode.existing":"Bestehender Branch","localConversation.syncSetup.mode.new":"Neuer Branch","localConversation.syncSetup.noBranches":"Keine Branches gefunden","localConversation.syncSetup.overwriteError":"Der Branch wurde erstellt, aber nicht vollständig übergeben. Übergib ihn manuell, bevor du ihn lokal auscheckst.","localConversation.syncSetup.setPrefix":"Präfix festlegen","localConversation.syncSetup.subtitle":"Worktree-Änderungen lokal testen und bearbeiten. <a>Mehr erfahren</a>","localConversation.syncSetup.success.checkedOut":"Branch wurde erstellt und lokal ausgecheckt","localConversation.syncSetup.success.notCheckedOut":"Branch erstellt","localConversation.syncSetup.title":"An einen lokalen Branch übergeben","localConversation.syncWorktreeError.branchAriaLabel":"Branch-Name","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/neue-funktion","localConversation.syncWorktreeError.branchSetup.subtitle":"Wähle einen Branch für die Übergabe und lade die Änderungen erneut.","localConversation.syncWorktreeError.branchSetup.title":"Branch aktualisieren","localConversation.syncWorktreeError.branchUpdate.cta":"Aktualisieren und erneut versuchen","localConversation.syncWorktreeError.branchUpdate.error":"Branch konnte nicht aktualisiert werden: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Etwas hat nicht geklappt: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Der Branch ist in keinem Worktree ausgecheckt.","localConversation.syncWorktreeV2.applyUncommitted":"Übernehmen","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Du musst den Branch lokal auschecken, um nicht committete Änderungen anzuwenden.","localConversation.syncWorktreeV2.branches.empty":"Keine Branches gefunden","localConversation.syncWorktreeV2.branches.loading":"Branches werden geladen…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Übergabe-Branch ändern","localConversation.syncWorktreeV2.changeBranch.error":"Übergabe-Branch konnte nicht geändert werden: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Anwenden fehlgeschlagen","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Worktree konnte nicht überschrieben werden","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Lokale Version konnte nicht überschrieben werden","localConversation.syncWorktreeV2.commandError.back":"Zurück","localConversation.syncWorktreeV2.commandError.body":"Während der Übergabe ist ein Git-Befehl fehlgeschlagen. Überprüfe den Output und versuche es erneut.","localConversation.syncWorktreeV2.commandError.retry":"Erneut versuchen","localConversation.syncWorktreeV2.description":"Änderungen zwischen lokal und diesem Worktree übergeben. <a>Mehr erfahren</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Übergaberichtung auswählen","localConversation.syncWorktreeV2.error.generic":"Bei der Übergabe ist ein Fehler aufgetreten. Bitte versuche es erneut.","localConversation.syncWorktreeV2.localBranchLabel":"Lokal","localConversation.syncWorktreeV2.noChanges":"Änderungen werden berechnet","localConversation.syncWorktreeV2.noChanges.summary":"Keine Änderungen","localConversation.syncWorktreeV2.overwrite.local":"Lokale Version überschreiben","localConversation.syncWorktreeV2.overwrite.worktree":"Worktree überschreiben","localConversation.syncWorktreeV2.partial.action.applyFailed":"Änderungen konnten nicht angewendet werden.","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Lokale Änderungen konnten nicht überschrieben werden","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Worktree-Änderungen konnten nicht überschrieben werden","localConversation.syncWorktreeV2.partial.appliedLabel":"Angewendet","localConversation.syncWorktreeV2.partial.back":"Zurück","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Konflikte beheben und erneut versuchen.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikte","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# Datei} other {# Dateien}}","localConversation.syncWorktreeV2.partial.retry":"Erneut versuchen","localConversation.syncWorktreeV2.partial.skippedLabel":"Übersprungen","localConversation.syncWorktreeV2.stateFailed.generic":"Beim Laden der Worktree-Änderungen für die Übergabe ist ein Fehler aufgetreten. Bitte versuche es erneut.","localConversation.syncWorktreeV2.stateFailed.title":"Worktree-Änderungen konnten nicht geladen werden","localConversation.syncWorktreeV2.statusError.diffUnknown":"Worktree-Änderungen konnten nicht geladen werden.","localConversation.syncWorktreeV2.statusError.retry":"Erneut versuchen","localConversation.syncWorktreeV2.statusError.title":"Lokale Branch-Änderungen konnten nicht geladen werden","localConversation.syncWorktreeV2.statusError.unknown":"Der Branch-Status ist derzeit nicht verfügbar. Bitte versuche es erneut.","localConversation.syncWorktreeV2.success.apply":"Änderungen erfolgreich angewendet","localConversation.syncWorktreeV2.success.overwrite":"Übergabe erfolgreich","localConversation.syncWorktreeV2.title":"Änderungen übergeben","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Stellt {count, plural, one {Frage} other {Fragen}}","localConversation.userInputRequest.noAnswer":"Keine Antwort angegeben","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Stellte","localConversation.userInputRequest.summary.count":"{count, plural, one {# Frage} other {# Fragen}}","localConversation.workedFor":"{time} lang gearbeitet","localConversation.worktreeBranchSetup.action.create":"Erstellen","localConversation.worktreeBranchSetup.branchAriaLabel":"Branch-Name","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Neuen Branch erstellen","localConversation.worktreeBranchSetup.checkoutDisabled":"Dieser Branch ist bereits unter {location} ausgecheckt.","localConversation.worktreeBranchSetup.checkoutError":"Branch konnte nicht ausgecheckt werden: {message}","localConversation.worktreeBranchSetup.createBranchError":"Branch konnte nicht festgelegt werden: {message}","localConversation.worktreeBranchSetup.error":"Etwas hat nicht geklappt: {message}","localConversation.worktreeBranchSetup.subtitle":"Erstelle einen Branch, um Änderungen zu committen, zu pushen und aus diesem Worktree einen PR zu erstellen. <a>Mehr erfahren</a>","localConversation.worktreeBranchSetup.title":"Hier arbeiten","localConversationPage.addWorktreeToSidebar.tooltip":"Als Projekt speichern, um von diesem Worktree neue Threads zu starten","localConversationPage.addWorktreeToSidebarError":"Projekt konnte nicht hinzugefügt werden","localConversationPage.commitAndCreatePrModal.errorTitle":"Committen und PR erstellen fehlgeschlagen","localConversationPage.commitAndCreatePrModal.successTitle":"Commit durchgeführt und PR erstellt","localConversationPage.commitAndPushModal.errorTitle":"Committen und Pushen fehlgeschlagen","localConversationPage.commitAndPushModal.successTitle":"Commit durchgeführt und Änderungen gepusht","localConversationPage.commitCreatePr.open":"Pull Request öffnen","localConversationPage.commitCreatePr.successTitle":"PR mit deinen neuesten Änderungen erstellt","localConversationPage.createBranchButtonLabel":"Hier branchen","localConversationPage.createPrModal.baseBranch":"Basis","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR erstellen","localConversationPage.createPrModal.createDescription":"Öffnet einen Pull Request für deine neuesten Änderungen.","localConversationPage.createPrModal.errorTitle":"Pull Request fehlgeschlagen","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR öffnen","localConversationPage.createPrModal.successTitle":"Pull Request erstellt","localConversationPage.createPrModal.title":"Pull Request erstellen","localConversationPage.createPrModal.viewDescription":"Für diesen Branch existiert bereits ein Pull Request.","localConversationPage.createPrModal.viewTitle":"Pull Request bereit","localConversationPage.createPullRequestAuthGh":"GitHub CLI authentifizieren: gh auth login ausführen","localConversationPage.createPullRequestBranchMissing":"Branch-Infos nicht verfügbar","localConversationPage.createPullRequestButtonLabel":"PR erstellen","localConversationPage.createPullRequestButtonLabel.loading":"PR wird erstellt...","localConversationPage.createPullRequestDefaultBranchMissing":"Infos zum Standard-Branch nicht verfügbar","localConversationPage.createPullRequestError":"Pull Request konnte nicht erstellt werden.","localConversationPage.createPullRequestExistingPullRequest":"Für diesen Branch existiert bereits ein Pull Request.","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI-Status wird geladen…","localConversationPage.createPullRequestInstallGh":"Installiere GitHub CLI (gh), um PRs zu erstellen","localConversationPage.createPullRequestNoRepo":"Kein Git-Repository gefunden","localConversationPage.createPullRequestPushStatusMissing":"Push-Status wird geladen...","localConversationPage.createPullRequestSetUpstream":"Diesen Branch pushen, bevor du einen PR erstellst","localConversationPage.createPullRequestSuccessToast":"Pull Request erstellt","localConversationPage.createPullRequestSwitchBranch":"Feature-Branch auschecken, bevor du einen PR erstellst","localConversationPage.error.render":"Fehler beim Rendern des lokalen Gesprächs","localConversationPage.error.toast":"Gespräch nicht gefunden","localConversationPage.forcePushError":"Force-Push fehlgeschlagen","localConversationPage.generatePullRequestMessageError":"Titel und Beschreibung für den Pull Request konnten nicht generiert werden.","localConversationPage.generatePullRequestMessageFailed":"Titel und Beschreibung für den Pull Request konnten nicht generiert werden.","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Abbrechen","localConversationPage.gitActionResult.close":"Schließen","localConversationPage.gitActionResult.tryAgain":"Erneut versuchen","localConversationPage.gitActions":"Git-Aktionen","localConversationPage.newChat":"Neuer Chat","localConversationPage.openInTarget":"Öffnen in","localConversationPage.openPrimaryTarget":"Öffnen","localConversationPage.planItemsCompleted":"{completedItems} von {totalItems, plural, one {# Aufgabe abgeschlossen} other {# Aufgaben abgeschlossen}}","localConversationPage.pushAuthError":"Push fehlgeschlagen: Authentifizierung erforderlich","localConversationPage.pushBranchMissing":"Branch-Infos nicht verfügbar","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Pushing...","localConversationPage.pushError":"Änderungen konnten nicht gepusht werden","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Abbrechen","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Pushe deine neuesten Commits ins Remote-Repository.","localConversationPage.pushModal.errorTitle":"Push fehlgeschlagen","localConversationPage.pushModal.forcePush":"Force-Push","localConversationPage.pushModal.successTitle":"Push abgeschlossen","localConversationPage.pushModal.title":"Änderungen pushen","localConversationPage.pushModal.tryAgain":"Erneut versuchen","localConversationPage.pushNoUpstream":"Upstream festlegen, bevor du diesen Branch pushst","localConversationPage.pushNoUpstreamError":"Push fehlgeschlagen: kein Upstream konfiguriert","localConversationPage.pushNothingToPush":"Keine neuen Commits zum Pushen","localConversationPage.pushRemoteChangedError":"Push fehlgeschlagen: Remote hat neue Commits","localConversationPage.pushRemoteRejectedError":"Push vom Remote abgelehnt","localConversationPage.pushStatusMissing":"Push-Status wird geladen...","localConversationPage.pushSuccessToast":"Gepushte Änderungen","localConversationPage.viewPullRequestButtonLabel":"PR anzeigen","localConversationPage.viewPullRequestButtonLabel.loading":"Pull Request wird geladen…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# Datei} other {# Dateien}}</countText> verliert","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# Liste} other {# Listen}}</countText> verliert","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# Suche} other {# Suchen}}</countText> verliert","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Erkunden","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Erkundet","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} durchsucht","localConversationTurnStory.showContent":"Inhalt anzeigen","localConversationTurnStory.streamContent":"Inhalt streamen","localConversationTurnStory.toggleReasoning":"Reasoning anzeigen","localTaskRow.archiveError":"Gespräch konnte nicht archiviert werden","localTaskRow.resumeError":"Aufgabe konnte nicht fortgesetzt werden","mermaidDiagram.ariaLabel":"Mermaid-Diagramm","mermaidDiagram.copySource":"Mermaid kopieren","mermaidDiagram.originalCode":"Mermaid-Quellcode","notifications.permissions.description":"Warnungen anzeigen, wenn Benachrichtigungsberechtigungen erforderlich sind","notifications.permissions.label":"Berechtigungsbenachrichtigungen aktivieren","notifications.turnMode.always":"Immer","notifications.turnMode.description":"Festlegen, wann Codex dich über den Abschluss informiert","notifications.turnMode.label":"Benachrichtigungen bei Fertigstellung aktivieren","notifications.turnMode.off":"Nie","notifications.turnMode.unfocused":"Nur wenn nicht fokussiert","patchApprovalRequest.approve":"Genehmigen","patchApprovalRequest.menu.allowAlways":"Ja, und in dieser Sitzung nicht erneut fragen.","patchApprovalRequest.menu.allowForSession":"Ja, und in dieser Sitzung nicht erneut fragen.","patchApprovalRequest.menu.allowOnce":"Ja","patchApprovalRequest.prompt":"Willst du diese Änderungen vornehmen?","patchApprovalRequest.reject":"Nein","patchApprovalRequest.waitingForApproval":"Warte auf Genehmigung zum Bearbeiten von Dateien","pendingRequest.approvalExec.collapse":"Reduzieren","pendingRequest.approvalExec.expand":"Erweitern","pendingRequestStory.toastAnswer":"Antwort: {answer}","pendingRequestStory.toastApprovalTitle":"Genehmigungsantwort","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Rückfrage gesendet","pendingRequestStory.toastNoAnswers":"Keine Antworten angegeben","pendingRequestStory.toastQuestion":"Frage: {question}","pendingRequestStory.toastUnknownDecision":"Unbekannt","pendingRequestStory.toastUserInputTitle":"Abgesendete Antworten","quickAction.request.codeReview.branches.new":"Bitte überprüfe die Änderungen an {from} im Vergleich zu {to}","quickAction.request.codeReview.uncommitted.new":"Bitte überprüfe meine nicht übernommenen Änderungen","reasoningItem.thinking":"Denke nach","reasoningItem.thought":"Denkvorgang abgeschlossen","reasoningItem.thoughtWithElapsed":"Nachgedacht für {elapsed}","recentConversations.title":"Letzte Gespräche","recentTasks.worktreeInitFailedTitle":"Worktree-Initialisierung fehlgeschlagen","recentTasks.worktreeSettingUpTitle":"Worktree wird eingerichtet","requestInputPanel.continue":"Weiter","requestInputPanel.dismiss":"Verwerfen","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Hier eingeben","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nein, und sag Codex, was anders gemacht werden soll.","requestInputPanel.selectedBadge":"Ausgewählt","requestInputPanel.skip":"Überspringen","requestInputPanel.submit":"Absenden","review.commit.ariaLabel.includeUnstaged":"Nicht gestagete Änderungen einbeziehen","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Wird committet…","review.commit.disabled.loadingDiff":"Diff wird geladen...","review.commit.disabled.missingContext":"Füge etwas Kontext hinzu, um eine Commit-Nachricht zu generieren.","review.commit.disabled.noChanges":"Keine Änderungen zum Committen","review.commit.disabled.noSelection":"Änderungen zum Committen auswählen","review.commit.disabled.unavailable":"Commit ist derzeit nicht verfügbar","review.commit.error":"Commit der Änderungen fehlgeschlagen","review.commit.form.changesToBeCommitted":"Änderungen","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Weiter","review.commit.form.title":"Änderungen committen","review.commit.generate.emptyResponse":"Commit-Nachricht konnte nicht generiert werden.","review.commit.generate.failed":"Fehler beim Generieren der Commit-Nachricht: {error}","review.commit.generate.missingPrompt":"Füge etwas Kontext hinzu, um eine Commit-Nachricht zu generieren.","review.commit.includeUnstaged":"Nicht gestagete Änderungen einbeziehen","review.commit.loading.description":"Einen Moment bitte, das kann ein paar Augenblicke dauern...","review.commit.loading.step.commit.done":"Änderungen","review.commit.loading.step.commit.pending":"Änderungen werden committet...","review.commit.loading.step.createPr.done":"Pull Request erstellt","review.commit.loading.step.createPr.pending":"Pull Request wird erstellt…","review.commit.loading.step.push.done":"Auf Branch {branch} gepusht","review.commit.loading.step.push.pending":"Wird auf Branch {branch} gepusht...","review.commit.loading.title.commit":"Änderungen werden committet...","review.commit.loading.title.createPr":"PR wird erstellt...","review.commit.loading.title.push":"Änderungen werden gepusht...","review.commit.messageLabel":"Commit-Nachricht","review.commit.messagePlaceholder":"Leer lassen, um automatisch eine Commit-Nachricht zu erstellen","review.commit.nextSteps":"Nächste Schritte","review.commit.nextSteps.commit":"Committen","review.commit.nextSteps.commitAndCreate":"Committen und PR erstellen","review.commit.nextSteps.commitAndPush":"Committen und pushen","review.commit.nextSteps.prRequiresGh":"Benötigt GitHub CLI: {command}","review.commit.rows.changes":"Änderungen","review.commit.rows.commitCount":"{count, plural, one {# Commit} other {# Commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# Commit} other {# Commits}} und {stats}","review.commit.rows.fileCount":"{count, plural, one {# Datei} other {# Dateien}}","review.commit.state.error.body":"Beim Committen ist etwas schiefgelaufen. Überprüfe deinen Git-Status und versuche es erneut.","review.commit.state.error.title":"Commit fehlgeschlagen","review.commit.state.success.title":"Änderungen committet","review.commit.untracked.loadingStats":"Nicht verfolgte Diff-Statistiken werden geladen…","reviewFindingAttachments.count":"{count, plural, one {# Ergebnis} other {# Ergebnisse}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Bearbeite deine Konfiguration, um das Verhalten des Agenten anzupassen","settings.agent.configuration.configToml.docs":"Dokumente","settings.agent.configuration.configToml.restartNote":"Starte Codex nach der Bearbeitung neu, um Änderungen zu übernehmen.","settings.agent.configuration.subtitle":"Diese Einstellungen gelten überall, wo Codex verwendet wird.","settings.automations.banner.danger":"Automatisierungen werden mit deinen aktuellen Standard-Sandbox-Einstellungen ausgeführt. Diese sind auf Vollzugriff gesetzt. Hintergrund-Automatisierungen mit Vollzugriff bergen jedoch ein erhöhtes Risiko, da Codex ohne Nachfrage Dateien ändern, Befehle ausführen und auf das Netzwerk zugreifen kann. Daher solltest du die Sandbox-Einstellungen im Workspace auf Schreibzugriff ändern und über <rulesDocsLink>Regeln</rulesDocsLink> gezielt festlegen, welche Befehle der Agent mit Vollzugriff ausführen darf.","settings.automations.banner.defaultHowTo.default":"Automatisierungen werden mit deinen Standard-Sandbox-Einstellungen ausgeführt. Tool-Aufrufe schlagen fehl, wenn sie Änderungen außerhalb des Workspaces erfordern, auf das Netzwerk zugreifen oder mit Apps auf deinem Computer arbeiten müssen. Über <rulesDocsLink>Regeln</rulesDocsLink> kannst du ausgewählte Befehle gezielt für die Ausführung außerhalb der Sandbox freigeben.","settings.automations.banner.defaultHowTo.readOnly":"Automatisierungen werden mit deinen Standard-Sandbox-Einstellungen ausgeführt, die auf „schreibgeschützt“ gesetzt sind. Tool-Aufrufe schlagen fehl, wenn sie Dateien ändern, auf das Netzwerk zugreifen oder mit Apps auf deinem Computer arbeiten müssen. Erwäge deshalb, die Sandbox-Einstellungen im Workspace auf Schreibzugriff zu ändern.","settings.automations.cancel":"Abbrechen","settings.automations.create":"Erstellen","settings.automations.cwdEmpty":"Keine Projektordner verfügbar","settings.automations.cwdLabel":"Projekte","settings.automations.cwdPlaceholder":"Ordner auswählen","settings.automations.cwdSubtitle":"Wenn eine Automatisierung auf einem bestimmten Branch laufen soll, kannst du das im Prompt angeben.","settings.automations.delete":"Löschen","settings.automations.dialog.editTitle":"Automatisierung bearbeiten","settings.automations.dialog.newTitle":"Neue Automatisierung","settings.automations.dialog.subtitle":"Automatisiere wiederkehrende Aufgaben im Hintergrund. Codex fügt die Ergebnisse dem Posteingang hinzu oder archiviert die Aufgabe automatisch, wenn es nichts zu berichten gibt. <learnMoreLink>Mehr erfahren</learnMoreLink>","settings.automations.dialog.title":"Automatisierung erstellen","settings.automations.executionCopy.git":"Automatisierungen laufen im Hintergrund auf dedizierten Worktrees.","settings.automations.executionCopy.nonGit":"Automatisierungen in Projekten ohne Versionskontrolle laufen direkt im Projektverzeichnis. Erwäge die Verwendung von Git, um die Ausführung auf Hintergrund-Worktrees zu ermöglichen.","settings.automations.executionEnvironment.local":"Lokal","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Wird geladen...","settings.automations.nameLabel":"Name","settings.automations.namePlaceholder":"Nach Sentry-Problemen suchen","settings.automations.pause":"Anhalten","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"Nach Abstürzen in $Sentry suchen","settings.automations.resume":"Fortsetzen","settings.automations.rruleSummaryFallback":"Individueller Zeitplan","settings.automations.runNow":"Test","settings.automations.save":"Speichern","settings.automations.scheduleBadge.dayCount":"{count} Tag(e)","settings.automations.scheduleBadge.interval":"{count} Std.","settings.automations.scheduleBadge.weekdays":"Wochentage","settings.automations.scheduleBadge.weekends":"Wochenenden","settings.automations.scheduleHeader":"Zeitplan","settings.automations.scheduleHours":"Stunden","settings.automations.scheduleLabel":"Ausführen alle","settings.automations.scheduleMode.daily":"Täglich","settings.automations.scheduleMode.interval":"Intervall","settings.automations.scheduleModeLabel":"Zeitplantyp","settings.automations.scheduleSummary.daily":"Täglich um {time}","settings.automations.scheduleSummary.interval":"Alle {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# Tag} other {# Tage}}","settings.automations.scheduleSummary.intervalDays":"{interval} an {days}","settings.automations.scheduleSummary.intervalHourly":"Stündlich","settings.automations.scheduleSummary.singleDay":"{day} um {time}","settings.automations.scheduleSummary.weekdays":"Wochentags um {time}","settings.automations.scheduleSummary.weekdaysLabel":"Wochentage","settings.automations.scheduleSummary.weekends":"An Wochenenden um {time}","settings.automations.scheduleSummary.weekendsLabel":"Wochenende","settings.automations.scheduleSummary.weekly":"{days} um {time}","settings.automations.scheduleWeekdays":"Ein","settings.automations.weekdayState.excluded":"Ausgeschlossen","settings.automations.weekdayState.included":"Eingeschlossen","settings.conversationDetail.steps":"Schritte","settings.conversationDetail.steps.description":"Befehle und Output ausblenden","settings.conversationDetail.stepsWithCommands":"Schritte mit Code-Befehlen","settings.conversationDetail.stepsWithCommands.description":"Befehle anzeigen, Output reduzieren","settings.conversationDetail.stepsWithOutput":"Schritte mit Code-Output","settings.conversationDetail.stepsWithOutput.description":"Befehle anzeigen, Output ausklappen","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Keine archivierten Chats.","settings.dataControls.archivedChats.error":"Es konnten keine archivierten Chats geladen werden.","settings.dataControls.archivedChats.loading":"Archivierte Chats werden geladen...","settings.dataControls.archivedChats.unarchive":"Dearchivieren","settings.dataControls.archivedChats.unarchiveError":"Chat konnte nicht dearchiviert werden.","settings.dataControls.archivedChats.unarchiveSuccess":"Thread dearchivieren. <viewNowLink>Jetzt anzeigen</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Dearchivierter Thread.","settings.dataControls.archivedChats.untitled":"Unbenannter Chat","settings.dataControls.archivedChats.viewNow":"Jetzt anzeigen","settings.editRow.headerPlaceholder":"Schlüssel","settings.editRow.removeEntry":"Eintrag entfernen","settings.editRow.valuePlaceholder":"Wert","settings.general.appearance":"Aussehen","settings.general.appearance.codeFont":"Code-Schriftart","settings.general.appearance.codeFont.description":"Passe Schriftart und -größe für Code in Chats und Diffs an.","settings.general.appearance.codeFontFamily":"Code-Schriftart","settings.general.appearance.codeFontSize":"Code-Schriftgröße","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Fenster mit solidem Hintergrund statt System-Transparenz verwenden","settings.general.appearance.opaqueWindows.label":"Undurchsichtigen Fensterhintergrund verwenden","settings.general.appearance.sansFontFamily":"Schriftfamilie Sans-Serif","settings.general.appearance.sansFontFamily.description":"Ändere die Schriftart für die Codex-UI.","settings.general.appearance.sansFontSize":"Sans-Schriftgröße","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Zeige ein Vollbild mit Showeffekten während des ersten Durchlaufs von GPT-5.3-Codex-Spark.","settings.general.appearance.sparkCelebrationEffects.label":"Spark-Showeffekte","settings.general.appearance.theme":"Motiv","settings.general.appearance.theme.dark":"Dunkel","settings.general.appearance.theme.description":"Hell, dunkel oder an dein System anpassen","settings.general.appearance.theme.light":"Hell","settings.general.appearance.theme.system":"System","settings.general.appearance.usePointerCursors.description":"Cursor beim Überfahren interaktiver Elemente in einen Zeiger ändern","settings.general.appearance.usePointerCursors.label":"Zeiger-Cursor verwenden","settings.general.enterBehavior.description":"Wenn aktiviert, müssen mehrzeilige Prompts mit {modifierSymbol} + Eingabtaste gesendet werden.","settings.general.enterBehavior.label":"{modifierSymbol} + Eingabtaste zum Senden langer Prompts","settings.general.experimentalFeatures":"Experimentelle Funktionen (Beta)","settings.general.experimentalFeatures.empty":"Keine Beta-Funktionen verfügbar.","settings.general.experimentalFeatures.loading":"Experimentelle Funktionen werden geladen…","settings.general.experimentalFeatures.restartNote":"Starte Codex neu, um Änderungen an experimentellen Funktionen zu übernehmen.","settings.general.experimentalFeatures.toggle":"{featureName} umschalten","settings.general.followUpQueueMode.description":"Reihe Folgebefehle in die Warteschlange ein, während Codex läuft, oder steuere den aktuellen Run. Drücke {invertFollowUpShortcutLabel}, um für eine Nachricht das Gegenteil zu tun.","settings.general.followUpQueueMode.interrupt":"Steuern","settings.general.followUpQueueMode.label":"Verhalten für Folgeaufforderungen","settings.general.followUpQueueMode.queue":"Warteschlange","settings.general.notifications":"Benachrichtigungen","settings.general.power.preventSleepWhileRunning.description":"Halte deinen Computer aktiv, während Codex einen Thread ausführt.","settings.general.power.preventSleepWhileRunning.label":"Ruhezustand während der Ausführung verhindern","settings.git.branchPrefix.ariaLabel":"Branch-Präfix","settings.git.branchPrefix.description":"Präfix, das beim Erstellen neuer Branches in Codex verwendet wird","settings.git.branchPrefix.label":"Branch-Präfix","settings.git.branchPrefix.placeholder":"Codex/","settings.git.branchPrefix.save.error":"Branch-Präfix konnte nicht gespeichert werden","settings.git.branchPrefix.save.success":"Branch-Präfix gespeichert","settings.git.commitInstructions.ariaLabel":"Commit-Anweisungen","settings.git.commitInstructions.description":"Zu den Prompts für die Commit-Nachricht hinzugefügt","settings.git.commitInstructions.label":"Commit-Anweisungen","settings.git.commitInstructions.placeholder":"Hinweise für Commit-Nachrichten hinzufügen…","settings.git.commitInstructions.save":"Speichern","settings.git.commitInstructions.save.error":"Commit-Anweisungen konnten nicht gespeichert werden.","settings.git.commitInstructions.save.success":"Commit-Anweisungen gespeichert","settings.git.forcePush.ariaLabel":"Force-Push immer verwenden","settings.git.forcePush.description":"Beim Pushen aus Codex immer --force-with-lease verwenden","settings.git.forcePush.label":"Force-Push immer verwenden","settings.git.forcePush.save.disabled":"Force-Push immer deaktiviert","settings.git.forcePush.save.enabled":"Force-Push immer aktiviert","settings.git.forcePush.save.error":"Force-Push-Einstellung konnte nicht gespeichert werden","settings.git.prInstructions.ariaLabel":"Pull-Request-Anweisungen","settings.git.prInstructions.description":"Wird an die von Codex erstellten Pull-Request-Beschreibungen angehängt","settings.git.prInstructions.label":"Pull-Request-Anweisungen","settings.git.prInstructions.placeholder":"Hinweise für Pull Requests hinzufügen…","settings.git.prInstructions.save":"Speichern","settings.git.prInstructions.save.error":"Pull-Request-Anweisungen konnten nicht gespeichert werden.","settings.git.prInstructions.save.success":"Pull-Request-Anweisungen gespeichert","settings.ide.defaultOpenTarget.description":"Wo Dateien und Ordner standardmäßig geöffnet werden","settings.ide.defaultOpenTarget.label":"Standard-Öffnungsziel","settings.ide.defaultOpenTarget.placeholder":"Keine Ziele gefunden","settings.ide.language.auto":"Automatisch erkennen","settings.ide.language.autoOption":"Automatisch erkennen","settings.ide.language.description":"Sprache der App-Oberfläche","settings.ide.language.label":"Sprache","settings.ide.language.search":"Sprachen suchen","settings.layout.actionButton":"Erweiterung neu starten","settings.layout.actionTitle":"Einstellungen mit Aktion","settings.layout.fullWidthTitle":"Einstellungen (volle Breite)","settings.layout.title":"Einstellungen","settings.localEnvironments.actions.add":"Aktion hinzufügen","settings.localEnvironments.actions.add.description":"Neuen Befehl erstellen, der über die Toolbar ausgeführt wird.","settings.localEnvironments.actions.add.save":"Speichern","settings.localEnvironments.actions.empty":"Füge eine Aktion hinzu, um Befehle aus der lokalen Symbolleiste auszuführen.","settings.localEnvironments.actions.icon.debug":"Debugging","settings.localEnvironments.actions.icon.run":"Ausgeführt","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Tool","settings.localEnvironments.actions.item.button.delete":"Löschen","settings.localEnvironments.actions.item.command":"Aktionsskript","settings.localEnvironments.actions.item.name":"Name","settings.localEnvironments.actions.item.platforms":"Plattformen","settings.localEnvironments.actions.item.platforms.help":"Werden nur auf einem bestimmten Betriebssystem ausgeführt.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Plattformauswahl","settings.localEnvironments.actions.item.platforms.specific":"Plattformspezifisch","settings.localEnvironments.actions.item.platforms.windows":"Windows-Taste","settings.localEnvironments.actions.item.tooltip.delete":"Löschen","settings.localEnvironments.actions.title":"Aktionen","settings.localEnvironments.breadcrumb.back":"Zurück","settings.localEnvironments.breadcrumb.edit":"Bearbeiten","settings.localEnvironments.breadcrumb.root":"Umgebungen","settings.localEnvironments.environment.actions.description":"Diese Aktionen können beliebige Befehle ausführen und werden in der Kopfzeile angezeigt.","settings.localEnvironments.environment.actionsLabel":"Aktionen","settings.localEnvironments.environment.create":"Lokale Umgebung erstellen","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"Lokale Umgebung bearbeiten","settings.localEnvironments.environment.empty":"Für dieses Projekt ist noch keine lokale Umgebung konfiguriert.","settings.localEnvironments.environment.name":"Name","settings.localEnvironments.environment.setup":"Setup-Skript","settings.localEnvironments.environment.setup.description":"Dieses Skript wird bei der Erstellung des Worktrees ausgeführt.","settings.localEnvironments.environment.setup.hint":"Wird im Projekt-Root ausgeführt.","settings.localEnvironments.environment.setup.platformOverrides":"Plattformüberschreibungen","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform}-Einrichtungsskript hinzufügen","settings.localEnvironments.environment.setup.platformOverrides.description":"Überschreibt das Standardskript für bestimmte Betriebssysteme.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Entfernen","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Umgebungsdetails","settings.localEnvironments.file.missing":"Speichere die Datei, um sie erstmalig zu erstellen.","settings.localEnvironments.file.parseError":"Vorhandene Datei kann nicht geparst werden. Beim Speichern wird sie überschrieben. ({error})","settings.localEnvironments.file.path":"Datei: {path}","settings.localEnvironments.file.readError":"Lokale Umgebungsdaten konnten nicht geladen werden. ({error})","settings.localEnvironments.file.title":"Lokale Umgebungsdatei","settings.localEnvironments.loading.body":"Projektkonfiguration wird abgerufen.","settings.localEnvironments.loading.title":"Lokale Umgebungen werden geladen","settings.localEnvironments.preview.devOnly":"(nur DEV)","settings.localEnvironments.preview.save":"Speichern","settings.localEnvironments.preview.saveError":"Datei konnte nicht gespeichert werden. ({error})","settings.localEnvironments.preview.title":"Vorschau","settings.localEnvironments.save.disabled.name":"Zum Speichern Umgebungsnamen eingeben","settings.localEnvironments.save.disabled.noChanges":"Es gibt keine Änderungen zum Speichern.","settings.localEnvironments.save.disabled.saving":"Wird gespeichert…","settings.localEnvironments.save.success":"Lokale Umgebung gespeichert","settings.localEnvironments.unavailable.body":"Die lokalen Umgebungseinstellungen für dieses Projekt konnten nicht geladen werden.","settings.localEnvironments.unavailable.title":"Lokale Umgebungen nicht verfügbar","settings.localEnvironments.workspace.add":"Projekt hinzufügen","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Umgebung hinzufügen","settings.localEnvironments.workspaceSelect.description":"Lokale Umgebungen bestimmen, wie die Worktrees in Codex für ein Projekt eingerichtet werden sollen. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Noch keine Projekte. Füge eines hinzu, um lokale Umgebungen zu konfigurieren.","settings.localEnvironments.workspaceSelect.errorLabel":"Umgebung erfordert Aufmerksamkeit","settings.localEnvironments.workspaceSelect.learnMore":"Mehr erfahren","settings.localEnvironments.workspaceSelect.listLabel":"Verfügbare Projekte","settings.localEnvironments.workspaceSelect.loading":"Projekte werden geladen.","settings.localEnvironments.workspaceSelect.loadingLabel":"Umgebung wird geladen","settings.localEnvironments.workspaceSelect.title":"Projekt auswählen","settings.localEnvironments.workspaceSelect.viewAction":"Anzeigen","settings.mcp.addServer":"Server hinzufügen","settings.mcp.app.configure":"Konfigurieren","settings.mcp.app.connect":"Verbinden","settings.mcp.apps.refresh":"Aktualisieren","settings.mcp.detail.addArgument":"Argument hinzufügen","settings.mcp.detail.addEnvVar":"Umgebungsvariable hinzufügen","settings.mcp.detail.addEnvVarPassthrough":"Variable hinzufügen","settings.mcp.detail.args":"Argumente","settings.mcp.detail.back":"Zurück","settings.mcp.detail.command":"Befehl zum Starten","settings.mcp.detail.cwd":"Arbeitsverzeichnis","settings.mcp.detail.docs":"MCP-Dokumentation öffnen","settings.mcp.detail.docs.link":"Dokumente","settings.mcp.detail.envVarPassthrough":"Durchreichen von Umgebungsvariablen","settings.mcp.detail.envVars":"Umgebungsvariablen","settings.mcp.detail.http.addEnvHeader":"Variable hinzufügen","settings.mcp.detail.http.addHeader":"Header hinzufügen","settings.mcp.detail.http.bearerToken":"Bearer-Token-Umgebungsvariable","settings.mcp.detail.http.envHeaders":"Header aus Umgebungsvariablen","settings.mcp.detail.http.headers":"Header","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Name","settings.mcp.detail.save":"Speichern","settings.mcp.detail.switchTransportNotice":"Wenn du den MCP-Server-Typ wechseln möchtest, deinstalliere ihn bitte zuerst.","settings.mcp.detail.titleExisting":"{name} MCP aktualisieren","settings.mcp.detail.titleNew":"Verbinde dich mit einem benutzerdefinierten MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Deinstallieren","settings.mcp.empty":"Keine individuellen MCP-Server verbunden","settings.mcp.myServers":"Individuelle Server","settings.mcp.partnerServer.description.figma":"Erstelle besseren Code, indem du den vollständigen Figma-Kontext einbindest","settings.mcp.partnerServer.description.github":"Integriere GitHub-APIs, um Arbeitsabläufe zu automatisieren und Daten zu extrahieren","settings.mcp.partnerServer.description.linear":"Integriere Linears Problemverfolgung und Projektmanagement.","settings.mcp.partnerServer.description.notion":"Lies die Dokumentation, aktualisiere Seiten und manage Aufgaben.","settings.mcp.partnerServer.description.playwright":"Integriere Browser-Automation, um Design und UI zu implementieren und zu testen.","settings.mcp.partnerServer.install":"Installieren","settings.mcp.partnerServer.installAndAuthenticate":"Installieren und authentifizieren","settings.mcp.partnerServer.logoAlt":"{label}-Logo","settings.mcp.partnerServer.manage":"Verwalten","settings.mcp.partnerServer.vendor":"von {vendor}","settings.mcp.recommendedServers":"Empfohlene Server","settings.mcp.restartApp":"Neu starten","settings.mcp.restartExtension":"Erweiterung neu starten","settings.mcp.server.enable":"Aktivieren","settings.mcp.server.login":"Authentifizieren","settings.mcp.server.settings":"Einstellungen","settings.multiselect.createOption":"„{value}“ erstellen","settings.multiselect.removeOption":"Entfernen","settings.nav.account":"Konto","settings.nav.agent":"Konfiguration","settings.nav.ariaLabel":"Einstellungen","settings.nav.back":"Zurück zur App","settings.nav.data-controls":"Archivierte Threads","settings.nav.environments":"Cloud-Umgebungen","settings.nav.externalTooltip":"[Alpha] Wird im Browser geöffnet","settings.nav.general-settings":"Allgemein","settings.nav.git-settings":"Git","settings.nav.local-environments":"Umgebungen","settings.nav.mcp-settings":"MCP Server","settings.nav.notImplemented":"[Alpha] In Alpha nicht verfügbar","settings.nav.personalization":"Personalisierung","settings.nav.skills-settings":"Fähigkeiten","settings.nav.usage-analytics":"Nutzung und Analyse","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Zurück","settings.openSourceLicenses.loading":"Wird geladen...","settings.openSourceLicenses.missing":"Keine Hinweise Dritter gefunden","settings.openSourceLicenses.notSupported":"Auf diesem Host nicht verfügbar","settings.openSourceLicenses.rowDescription":"Hinweise Dritter für gebündelte Abhängigkeiten","settings.openSourceLicenses.rowLabel":"Open-Source-Lizenzen","settings.openSourceLicenses.subtitle":"Hinweise Dritter für Abhängigkeiten in dieser App","settings.openSourceLicenses.title":"Open-Source-Lizenzen","settings.openSourceLicenses.view":"Anzeigen","settings.personalization.agents.description":"Anweisungen bearbeiten, die Codex auf dich zuschneiden. {learnMore}","settings.personalization.agents.learnMore":"Mehr erfahren","settings.personalization.agents.loadError":"agents.md konnte nicht geladen werden.","settings.personalization.agents.loading":"agents.md wird geladen...","settings.personalization.agents.placeholder":"Eigene benutzerdefinierte Anweisungen hinzufügen...","settings.personalization.agents.retry":"Erneut versuchen","settings.personalization.agents.save":"Speichern","settings.personalization.agents.save.error":"agents.md konnte nicht gespeichert werden","settings.personalization.agents.save.success":"agents.md gespeichert","settings.personalization.agents.title":"Individuelle Anweisungen","settings.personalization.personality.description":"Standard-Ton für Codex-Antworten auswählen","settings.personalization.personality.label":"Persönlichkeit","settings.sample.contentBody":"Verwende dieses Layout, um deine Einstellungsbereiche mit einheitlichen Abständen zu gestalten.","settings.sample.contentTitle":"Beispielinhalt-Block","settings.section.account":"Konto","settings.section.agent":"Konfiguration","settings.section.data-controls":"Archivierte Threads","settings.section.environments":"Cloud-Umgebungen","settings.section.external":"Öffnet sich während Alpha in deinem Browser","settings.section.general-settings":"Allgemein","settings.section.git-settings":"Git","settings.section.local-environments":"Umgebungen","settings.section.mcp-settings":"MCP Server","settings.section.mcp-settings.docs":"Dokumente","settings.section.mcp-settings.subtitle":"Verbinde externe Tools und Datenquellen.","settings.section.personalization":"Personalisierung","settings.section.skills-settings":"Fähigkeiten","settings.section.unavailable":"Noch nicht in Alpha verfügbar","settings.section.usage-analytics":"Nutzung und Analyse","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"Wähle aus, wie viel Befehlsoutput in Threads angezeigt wird.","settings.threadDetail.label":"Thread-Details","settings.worktrees.conversation.untitled":"Unbenanntes Gespräch","settings.worktrees.delete.error":"Worktree konnte nicht gelöscht werden","settings.worktrees.empty.body":"Von Codex erstellte Worktrees werden hier angezeigt.","settings.worktrees.empty.title":"Noch keine Worktrees","settings.worktrees.error.body":"Beim Laden der Worktrees ist etwas schiefgegangen.","settings.worktrees.error.retry":"Erneut versuchen","settings.worktrees.error.title":"Worktrees konnten nicht geladen werden","settings.worktrees.loading.body":"Worktree-Details werden abgerufen.","settings.worktrees.loading.title":"Worktrees werden geladen","settings.worktrees.repository.loading":"Repository-Metadaten werden geladen…","settings.worktrees.repository.unknown":"Unbekanntes Repository","settings.worktrees.row.conversations":"Gespräche","settings.worktrees.row.conversations.empty":"Mit diesem Worktree sind keine Gespräche verknüpft.","settings.worktrees.row.conversations.loading":"Gespräche werden geladen…","settings.worktrees.row.delete":"Löschen","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Neues Projekt hinzufügen","sidebarElectron.archiveThread":"Thread archivieren","sidebarElectron.archiveThreadError":"Archivieren des Threads fehlgeschlagen","sidebarElectron.collapseFolder":"Ordner einklappen","sidebarElectron.createStableWorktree.dialog.cancel":"Abbrechen","sidebarElectron.createStableWorktree.dialog.create":"Erstellen","sidebarElectron.debugNavLink":"Debugging","sidebarElectron.editWorkspaceRootOptionName":"Namen bearbeiten","sidebarElectron.expandFolder":"Ordner ausklappen","sidebarElectron.groupByMenu.recency":"Chronologische Liste","sidebarElectron.groupByMenu.title":"Organisieren","sidebarElectron.groupByMenu.workspace":"Nach Projekt","sidebarElectron.inboxRouteNavLink":"Automatisierungen","sidebarElectron.markThreadUnread":"Als ungelesen markieren","sidebarElectron.missingWorkspaceRoot":"Dieser Projektordner wurde gelöscht oder verschoben.","sidebarElectron.newThread":"Neuer Thread","sidebarElectron.newThreadInGroup":"Neuen Thread in {folder} beginnen","sidebarElectron.noRecentThreads":"Keine aktuellen Threads","sidebarElectron.noTasks":"Keine Threads","sidebarElectron.noTasks.start":"Neues Projekt hinzufügen","sidebarElectron.noTasksWithFilter":"Keine Threads entsprechen den Filtern.","sidebarElectron.pinnedThreads":"Angeheftete Threads","sidebarElectron.recentNavLink":"Threads","sidebarElectron.recentThreads":"Aktuelle Threads","sidebarElectron.removeWorkspaceRootOption":"Entfernen","sidebarElectron.renameThread":"Thread umbenennen","sidebarElectron.renameThreadDialogAriaLabel":"Thread-Titel","sidebarElectron.renameThreadDialogCancel":"Abbrechen","sidebarElectron.renameThreadDialogPlaceholder":"Einen Titel hinzufügen...","sidebarElectron.renameThreadDialogSave":"Speichern","sidebarElectron.renameThreadDialogSubtitle":"Kurz und gut erkennbar halten.","sidebarElectron.renameThreadDialogTitle":"Thread umbenennen","sidebarElectron.renameThreadError":"Umbenennen des Threads fehlgeschlagen","sidebarElectron.renameWorkspaceRootOptionLabel":"Anzeigename","sidebarElectron.showLess":"Weniger anzeigen","sidebarElectron.showMenu.all":"Alle Threads","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Nur aktuelle Threads für den aktuellen Branch, Worktrees oder andere relevante Threads anzeigen","sidebarElectron.showMenu.title":"Anzeigen","sidebarElectron.showMenu.tooltip":"Threads filtern, sortieren und organisieren","sidebarElectron.showMenu.trigger":"Threads in der Seitenleiste filtern","sidebarElectron.showMore":"Mehr anzeigen","sidebarElectron.skillsRouteNavLink":"Fähigkeiten","sidebarElectron.sortMenu.created":"Erstellt","sidebarElectron.sortMenu.title":"Sortieren nach","sidebarElectron.sortMenu.updated":"Aktualisiert","sidebarElectron.taskNavigation":"Automatisierungsordner","sidebarElectron.tasksInFolder":"Automatisierungen in {folder}","sidebarElectron.workspaceOptions":"Projektaktionen für {folder}","sidebarElectron.worktreeGroupTooltip":"Dies ist ein Git-Worktree","skills.appsPage.createSkill":"Neue Fähigkeiten","skills.appsPage.empty.skills":"Keine Fähigkeiten gefunden","skills.appsPage.search.skills":"Fähigkeiten suchen","skills.appsPage.search.skills.label":"Fähigkeiten suchen","skills.appsPage.section.installedApps":"installiert","skills.appsPage.section.skills":"Fähigkeiten","skills.appsPage.subheading":"Verleihe Codex Superkräfte. <link>Mehr erfahren</link>","skills.appsPage.tab.recommended":"Empfohlen","skills.appsPage.tab.skills":"Fähigkeiten","skills.card.contentsError":"Fähigkeiten-Inhalte konnten nicht geladen werden.","skills.card.disable":"Deaktivieren","skills.card.disableSuccess":"Fähigkeit „{skillName}“ deaktiviert","skills.card.disabledBadge":"Deaktiviert","skills.card.enable":"Aktivieren","skills.card.enableSuccess":"Fähigkeit „{skillName}“ aktiviert","skills.card.loadingContents":"Fähigkeiten-Inhalte werden geladen...","skills.card.more":"Mehr Aktionen","skills.card.open":"Öffnen","skills.card.removeFailed":"Fähigkeit konnte nicht deinstalliert werden.","skills.card.removeSuccess":"Fähigkeit „{skillName}“ deinstalliert","skills.card.toggleEnabledError":"Fähigkeit konnte nicht aktualisiert werden","skills.card.try":"Ausprobieren","skills.card.trySkill":"Fähigkeit testen","skills.card.uninstall":"Deinstallieren","skills.hero.dotLabel":"Zu Folie {index}","skills.hero.next":"Nächste vorgestellte Fähigkeit","skills.hero.trySkill":"Fähigkeit testen","skills.page.createSkill":"Neue Fähigkeiten","skills.page.empty":"Keine Fähigkeiten gefunden","skills.page.filteredEmpty":"Keine Fähigkeiten entsprechen deinen Filtern.","skills.page.filteredEmptyDescription":"Versuche, deine Such- oder Bereichsfilter anzupassen.","skills.page.heading":"Fähigkeiten","skills.page.loading":"Fähigkeiten werden geladen...","skills.page.refreshSkills":"Aktualisieren","skills.page.refreshSkillsToUseNew":"Aktualisieren, um neue Fähigkeits zu verwenden","skills.page.search":"Fähigkeiten suchen","skills.page.search.label":"Fähigkeiten suchen","skills.page.subheading":"Verleihe Codex Superkräfte. <link>Mehr erfahren</link>","skills.preview.copyPrompt":"Prompt kopieren","skills.preview.examplePrompt":"Beispielaufforderung","skills.recommended.error":"Empfohlene Fähigkeiten konnten nicht geladen werden","skills.recommended.install":"Installieren","skills.recommended.installSkill":"Fähigkeit installieren","skills.recommended.installSuccess":"Fähigkeit „{skillName}“ installiert","skills.recommended.installed":"installiert","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Vom Administrator installiert","skills.scope.builtIn":"System","skills.scope.personal":"Persönlich","skills.scope.repo":"Repository","skills.scope.system":"System","skills.scope.team":"Team","skills.scope.user":"Benutzer","skills.section.installed":"installiert","skills.section.recommended":"Empfohlen","story.slidingToggle.existing":"Bestehenden","story.slidingToggle.fromLocal":"Von lokal","story.slidingToggle.new":"Neu","story.slidingToggle.toLocal":"Nach lokal","terminal.close":"Terminal schließen","terminal.title":"Terminal","thinkingShimmer.default":"Denke nach","threadEnvIcon.cloudTooltip":"Dieses Gespräch wird in der Codex Cloud ausgeführt.","threadEnvIcon.localTooltip":"Dieses Gespräch wird lokal ausgeführt.","threadEnvIcon.worktreeTooltip":"Dieses Gespräch läuft in einem lokalen Git-Worktree.","threadHeader.archiveConfirmCancel":"Abbrechen","threadHeader.archiveConfirmConfirm":"Archivieren","threadHeader.archiveConfirmSubtitle":"Du findest es später in deinen archivierten Threads.","threadHeader.archiveConfirmTitle":"Thread archivieren?","threadHeader.copyAppLink":"Deeplink kopieren","threadHeader.copySessionId":"Sitzungs-ID kopieren","threadHeader.copyWorkingDirectory":"Arbeitsverzeichnis kopieren","threadHeader.forkIntoLocal":"Lokal forken","threadHeader.forkIntoWorktree":"In neuen Worktree forken","threadHeader.forkPendingWorktreePrompt":"Forke dieses Gespräch in einen neuen Worktree.","threadHeader.forkPendingWorktreeTitle":"Geforktes Gespräch","threadHeader.forkThreadError":"Forken des Threads fehlgeschlagen","threadHeader.forkThreadRequiresGitRepo":"Zum Forken in einen neuen Worktree ist ein Git-Repository erforderlich.","threadHeader.moreActions":"Thread-Aktionen","threadPage.newThread":"Neuer Thread","threadPage.runAction.changeEnvironment":"Umgebung wechseln","threadPage.runAction.dropdown.titleWithEnvironment":"Aktionen für {environmentName}","threadPage.runAction.environmentSelector.label":"Umgebung wählen","threadPage.runAction.label":"Ausgeführt","threadPage.runAction.missing.label":"Run-Aktion einrichten","threadPage.runAction.setup.commandLabel":"Befehl ausführen","threadPage.runAction.setup.description":"Codex mitteilen, wie Abhängigkeiten installiert und deine App gestartet werden.","threadPage.runAction.setup.editMore":"Umgebungseinstellungen","threadPage.runAction.setup.placeholder":"z. B. npm install npm run","threadPage.runAction.setup.submit":"Speichern und ausführen","threadPage.runAction.setup.title":"Ausgeführt","threadPage.runAction.tooltip.withEnvironment":"Aktionen für {environmentName}","threadPage.toggleDiffPanel":"Diff-Panel umschalten","threadPage.toggleTerminal":"Terminal anzeigen/ausblenden","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Ordner öffnen","toolSummaryForCmd.exploredFiles":"Dateien <verb>aufgelistet</verb>","toolSummaryForCmd.exploredFilesInPath":"Dateien <verb>aufgelistet</verb> in {path}","toolSummaryForCmd.exploringFiles":"Dateien <verb>werden aufgelistet</verb>","toolSummaryForCmd.exploringFilesInPath":"Dateien <verb>werden aufgelistet</verb> in {path}","toolSummaryForCmd.ranGenericCommand":"<status>Befehl ausgeführt</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ausgeführt</status> {command}{timer}","toolSummaryForCmd.read":"{path} <verb>lesen</verb>","toolSummaryForCmd.runningGenericCommand":"<status>Befehl wird ausgeführt</status>{timer}","toolSummaryForCmd.runningTimer":"für {elapsed}","toolSummaryForCmd.searchedFor":"Nach {query} <verb>gesucht</verb>","toolSummaryForCmd.searchedForFiles":"Nach Dateien <verb>gesucht</verb>","toolSummaryForCmd.searchedForInPath":"Nach {query} in {path} <verb>gesucht</verb>","toolSummaryForCmd.searchingFor":"Nach {query} <verb>wird gesucht</verb>","toolSummaryForCmd.searchingForFiles":"Nach Dateien <verb>wird gesucht</verb>","toolSummaryForCmd.searchingForInPath":"Nach {query} in {path} <verb>wird gesucht</verb>","traceRecording.details.noteLabel":"Was hast du gerade gemacht, als das passiert ist? (optional)","traceRecording.details.notePlaceholder":"Zu einem großen Thread navigiert und dann wiederholt die Tabs gewechselt…","traceRecording.details.submit":"Trace senden","traceRecording.details.subtitle":"Wir können diesen Profil-Trace senden, um Performance-Probleme zu diagnostizieren.","traceRecording.details.title":"Profil-Trace senden?","traceRecording.progress.subtitle":"Lass Codex geöffnet, bis der Vorgang abgeschlossen ist.","traceRecording.saving.title":"Trace wird gespeichert…","traceRecording.startDetails.cancel":"Abbrechen","traceRecording.startDetails.submit":"OK, Aufnahme starten","traceRecording.startDetails.subtitle":"Nachdem du auf OK geklickt hast, reproduzierst du das Problem und klickst dann auf das schwebende rote Steuerelement, um die Aufnahme zu stoppen und den Trace zu prüfen.","traceRecording.startDetails.title":"So funktioniert die Trace-Aufnahme","traceRecording.stopButton.ariaLabel":"Trace-Aufnahme stoppen","traceRecording.upload.successToast":"Profil-Trace gesendet.","traceRecording.uploading.title":"Trace wird hochgeladen…","wham.diff.addComment":"Kommentar hinzufügen","wham.diff.binaryFile":"Binärdatei wird nicht angezeigt.","wham.diff.noContent":"Keine Inhalte","wham.fileTag.deleted":"Gelöscht","wham.fileTag.new":"Neu","wham.formattedRelativeDateTime.compactDaysAgo":"{value} Tag(e)","wham.formattedRelativeDateTime.compactHoursAgo":"{value} Std.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} Min.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} M","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} W","wham.formattedRelativeDateTime.compactYearsAgo":"{value} J","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Deine Aufgabe ist in Arbeit","wham.whamProposedTask.title":"Vorgeschlagene Aufgabe","wham.whamProposedTask.useSuggestion":"Vorschlag verwenden","workspaceRootDialog.addError":"Projekt konnte nicht hinzugefügt werden","workspaceRootDialog.cancel":"Abbrechen","workspaceRootDialog.confirmAdd":"Projekt hinzufügen","workspaceRootDialog.confirmPick":"Projekt verwenden","workspaceRootDialog.description":"Gib einen Pfad auf {host} ein, um ihn als Projekt zu nutzen.","workspaceRootDialog.pathLabel":"Projektpfad","workspaceRootDialog.pathPlaceholder":"/home/du/projekt","workspaceRootDialog.title.add":"Projektpfad hinzufügen","workspaceRootDialog.title.pick":"Projektpfad auswählen","worktreeInitV2.cancel":"Abbrechen","worktreeInitV2.notification.failedTitle":"Worktree-Einrichtung fehlgeschlagen","worktreeInitV2.output.empty":"Warten auf Output...","worktreeInitV2.status.error":"Worktree-Einrichtung fehlgeschlagen.","worktreeInitV2.status.running":"Worktree wird erstellt und eingerichtet.","worktreeInitV2.status.runningFork":"Worktree zum Forken dieses Gesprächs wird erstellt.","worktreeInitV2.status.success":"Worktree bereit.","worktreeInitV2.title":"Worktree wird erstellt","worktreeInitV2.workLocallyInstead":"Stattdessen lokal arbeiten","worktreeRestoreBanner.body":"Der Worktree dieses Threads wurde entfernt, um Speicherplatz zu sparen.","worktreeRestoreBanner.missing.body":"Das Arbeitsverzeichnis dieses Threads existiert nicht mehr.","worktreeRestoreBanner.missing.title":"Aktuelles Arbeitsverzeichnis fehlt","worktreeRestoreBanner.restore.error":"Worktree konnte nicht wiederhergestellt werden: {message}","worktreeRestoreBanner.restore.success":"Worktree wiederhergestellt","worktreeRestoreBanner.restoreCta":"Worktree wiederherstellen","worktreeRestoreBanner.title":"Worktree bereinigt"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopieren","app.sidebar.hide":"Seitenleiste schließen","app.sidebar.show":"Seitenleiste öffnen","app.sidebar.tooltip":"Seitenleiste umschalten","appHeader.installUpdate":"Aktualisieren","appSunset.body":"Diese App-Version wird nicht mehr unterstützt. Bitte lade <here>hier</here> die neueste Version herunter.","appSunset.title":"Update erforderlich","automation.updateDirective.create":"Erstellen","automation.updateDirective.open":"Öffnen","automation.updateDirective.untitled":"Unbenannte Automation","automation.updateDirective.update":"Aktualisieren","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# Versuch} other {# Versuche}}","cloudTaskRow.archiveError":"Archivieren der Aufgabe fehlgeschlagen","code.diff.requestChange":"Änderung anfordern","code.diffComment.cancel":"Abbrechen","code.diffComment.comment":"Kommentar","code.diffComment.delete":"Löschen","code.diffComment.save":"Speichern","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Es wurden keine Ergebnisse gemeldet.","codex.alert.closeAriaLabel":"Schließen","codex.appUpsellBanner.cbpApi.message":"Schneller entwickeln mit der Codex-App. Jetzt herunterladen oder {learnMoreLink}.","codex.appUpsellBanner.download":"Herunterladen","codex.appUpsellBanner.freeGo.message":"Codex ist bis zum 2. März in deinem Plan enthalten. Teste die Codex-App und entwickle schneller.","codex.appUpsellBanner.later":"Später","codex.appUpsellBanner.learnMoreLowercase":"mehr erfahren","codex.appUpsellBanner.new":"Neu","codex.appUpsellBanner.proPlusBusiness.message":"Teste die Codex-App bis zum 2. April mit doppelt so hohen Ratenlimits. Jetzt herunterladen oder {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-App","codex.applyDropdown.header.changes":"Änderungen","codex.applyDropdown.header.fileCount":"{count, plural, one {# Datei} other {# Dateien}}","codex.applyDropdown.header.rows":"Zeilen","codex.applyDropdown.header.title":"Änderungen übernehmen","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {Konflikt bei 1 Datei:} other {Konflikt bei {count} Dateien:}}","codex.applyDropdown.results.empty":"Es wurden keine Dateien kopiert","codex.applyDropdown.results.skipped":"{count, plural, one {1 Datei übersprungen:} other {{count} Dateien übersprungen:}}","codex.applyOrRevertBanner.apply":"Übernehmen","codex.applyOrRevertBanner.applyMessage":"Änderungen übernehmen und lokal fortfahren?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Diese Aufgabe wurde in {environment} erstellt, daher lässt sie sich eventuell nicht sauber anwenden.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Änderungen, die in {environment} vorgenommen wurden, lassen sich möglicherweise nicht sauber anwenden.","codex.applyOrRevertBanner.reapply":"Erneut anwenden","codex.applyOrRevertBanner.revert":"Zurücksetzen","codex.applyOrRevertBanner.revertMessage":"Angewendete Änderungen zurücksetzen?","codex.applyResultsDialog.applied":"Sauber angewendet ({count})","codex.applyResultsDialog.close":"Schließen","codex.applyResultsDialog.conflicted":"Konfliktbehaftet ({count})","codex.applyResultsDialog.noDetails":"Keine Dateidetails verfügbar.","codex.applyResultsDialog.skipped":"Übersprungen ({count})","codex.applyResultsDialog.title":"Ergebnisse anwenden","codex.archiveInfo":"Archivierte Chats in {dataControlsLink} anzeigen.","codex.archiveInfo.dataControlsLink":"Datenkontrollen","codex.archiveInfo.electron":"Archivierte Chats in {settingsLink} anzeigen","codex.archiveInfo.extension":"Archivierte Chats im Ordner .codex anzeigen.","codex.archiveInfo.settingsLink":"Einstellungen","codex.banner.content.description":"Aufgaben parallel ausführen, Fortschritt überall nachverfolgen und PRs mit KI überprüfen.","codex.banner.content.headline":"Codex erledigt alles.","codex.cloudTaskRow.archiveTask":"Aufgabe archivieren","codex.cloudTaskRow.confirmArchiveTask":"Bestätigen","codex.command.feedback":"Feedback","codex.command.findInThread":"Suchen","codex.command.forceReloadSkills":"Neuladen der Fähigkeiten erzwingen","codex.command.logOut":"Abmelden","codex.command.manageTasks":"Aufgaben verwalten","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Zurück","codex.command.navigateForward":"Vorwärts","codex.command.newThread":"Neuer Thread","codex.command.nextThread":"Nächster Thread","codex.command.openFolder":"Ordner öffnen","codex.command.openSkills":"Zu Fähigkeiten gehen","codex.command.openThreadOverlay":"Thread ausklappen","codex.command.personalitySettings":"Persönlichkeit","codex.command.previousThread":"Vorheriger Thread","codex.command.settings":"Einstellungen","codex.command.toggleDiffPanel":"Diff-Panel umschalten","codex.command.toggleSidebar":"Seitenleiste umschalten","codex.command.toggleTerminal":"Terminal anzeigen/ausblenden","codex.commandGroup.app":"App","codex.commandGroup.configure":"Konfigurieren","codex.commandGroup.navigation":"Navigation","codex.commandGroup.panels":"Panels","codex.commandGroup.skills":"Fähigkeiten","codex.commandGroup.thread":"Thread","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Keine Übereinstimmungen","codex.commandMenu.searchPlaceholder":"Suchbefehle","codex.commandMenu.suggestedGroup":"Vorgeschlagen","codex.commandMenu.switchWorkspace":"Projekt wechseln","codex.commandMenu.title":"Befehlsmenü","codex.common.retry":"Erneut versuchen","codex.composer.searchBranches":"Branches•durchsuchen","codex.dialog.basic.body":"Dies ist ein einfacher Modal-Dialog mit unserem Wrapper rund um Radix-Dialog.","codex.dialog.basic.cancel":"Abbrechen","codex.dialog.basic.confirm":"Bestätigen","codex.dialog.basic.open":"Dialog öffnen","codex.dialog.basic.title":"Beispiel-Dialog","codex.dialog.long.close":"Schließen","codex.dialog.long.line":"Scrollbare Zeile {index}, um langen Inhalt im Dialog zu demonstrieren.","codex.dialog.long.open":"Langen Dialog öffnen","codex.dialog.long.title":"Dialog mit langem Inhalt","codex.dialog.unstyled.body":"Diese Story zeigt, wie Aufrufer die Dialoggestaltung vollständig steuern können.","codex.dialog.unstyled.open":"Unformatierten Dialog öffnen","codex.dialog.unstyled.title":"Unformatierter Inhalt","codex.diff.openInEditorPrompt.openButton":"Im Editor öffnen","codex.diff.openInEditorPrompt.singleLine":"Diese Datei ist zu groß, um hier angezeigt zu werden.","codex.diffView.failedToDecodeBase64Diff":"base64-Diff konnte nicht dekodiert werden","codex.diffView.filesChanged":"{fileCount, plural, one {# Datei geändert} other {# Dateien geändert}}","codex.diffView.imagePreviewAlt":"Bildvorschau","codex.diffView.imagePreviewEmpty":"Kein Bild","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Keine Diff-Daten","codex.diffView.pdfPreview.nextPage":"Nächste Seite","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Vorherige Seite","codex.diffView.pdfPreviewEmpty":"Keine PDF-Vorschau","codex.diffView.pdfPreviewError":"PDF-Vorschau konnte nicht gerendert werden.","codex.diffView.richPreviewDisable":"Erweiterte Vorschau deaktivieren","codex.diffView.richPreviewEnable":"Erweiterte Vorschau aktivieren","codex.diffView.richPreviewLoading":"Vorschau wird geladen…","codex.diffView.richPreviewToggle":"Erweiterte Vorschau umschalten","codex.diffView.switchToUnified":"Zu Unified-Diff wechseln","codex.environmentSelector.noEnvironment":"Keine Umgebung","codex.environments.environmentSettings":"Umgebungseinstellungen","codex.environments.learnMore":"Mehr erfahren","codex.environments.listError":"Laden der Umgebungen fehlgeschlagen","codex.environments.noEnvironmentsFound":"Keine Umgebungen gefunden","codex.environments.searchError":"Umgebungen konnten nicht durchsucht werden","codex.errorBoundary.genericError":"Hoppla, ein Fehler ist aufgetreten","codex.errorBoundary.goHome":"Erneut versuchen","codex.file.patch.missing":"Patch für diese Datei kann nicht erstellt werden.","codex.gallery.automations.cwdLabel":"Projekte","codex.gallery.automations.nameLabel":"Name","codex.gallery.automations.namePlaceholder":"Aufgabe zusammenfassen","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Beschreibe, was Codex tun soll","codex.gallery.dialogs.automation.label":"Automatisierungs-Dialog","codex.gallery.dialogs.basic.body":"Dieses Layout für einfache Bestätigungen oder kurze Formulare verwenden.","codex.gallery.dialogs.basic.cancel":"Abbrechen","codex.gallery.dialogs.basic.confirm":"Bestätigen","codex.gallery.dialogs.basic.label":"Einfacher Dialog","codex.gallery.dialogs.basic.title":"Beispieldialog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Beschreibe das Problem","codex.gallery.dialogs.feedbackSubmission.bad":"Schlechtes Ergebnis","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Gutes Ergebnis","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Aktuelle Codex-Sitzungsprotokolle einbeziehen","codex.gallery.dialogs.feedbackSubmission.label":"Feedback senden","codex.gallery.dialogs.feedbackSubmission.other":"Sonstiges","codex.gallery.dialogs.feedbackSubmission.placeholder":"Beschreibe das Problem hier","codex.gallery.dialogs.feedbackSubmission.submit":"Absenden","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback hochgeladen. Wenn das Problem weiterhin besteht, erstelle bitte ein GitHub-Issue oder erwähne die Thread-ID in einem bestehenden offenen Issue:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Verwerfen","codex.gallery.dialogs.feedbackSuccess.label":"Feedback erfolgreich","codex.gallery.dialogs.feedbackSuccess.title":"Feedback hochgeladen","codex.gallery.dialogs.gitApplyResults.applied":"Sauber angewendet (2)","codex.gallery.dialogs.gitApplyResults.close":"Schließen","codex.gallery.dialogs.gitApplyResults.conflicted":"Konflikt (1)","codex.gallery.dialogs.gitApplyResults.label":"Ergebnisse anwenden","codex.gallery.dialogs.gitApplyResults.title":"Ergebnisse anwenden","codex.gallery.dialogs.gitPushError.body":"Ziehe die neuesten Änderungen oder führe ein Force-Push aus, wenn du sicher bist, dass die Remote-Historie überschrieben werden kann.","codex.gallery.dialogs.gitPushError.cancel":"Abbrechen","codex.gallery.dialogs.gitPushError.force":"Force-Push","codex.gallery.dialogs.gitPushError.label":"Push-Fehler","codex.gallery.dialogs.gitPushError.subtitle":"Dein Branch liegt hinter origin/main.","codex.gallery.dialogs.gitPushError.title":"Änderungen konnten nicht gepusht werden","codex.gallery.dialogs.gitRevert.cancel":"Abbrechen","codex.gallery.dialogs.gitRevert.confirm":"Zurücksetzen","codex.gallery.dialogs.gitRevert.label":"Änderungen rückgängig machen","codex.gallery.dialogs.gitRevert.skip":"Nicht noch einmal fragen","codex.gallery.dialogs.gitRevert.subtitle":"Diese Aktion entfernt alle diese Änderungen.","codex.gallery.dialogs.gitRevert.title":"Änderungen rückgängig machen?","codex.gallery.dialogs.longForm.label":"Ausführlicher Dialog","codex.gallery.dialogs.proseModal.body":"Dieser Modaldialog-Stil wird für längere Anleitungen, Onboarding oder reichhaltige Inhaltsblöcke verwendet.","codex.gallery.dialogs.proseModal.close":"Schließen","codex.gallery.dialogs.proseModal.subtitle":"Hier ausführliche Anleitungen oder Dokumentationen teilen.","codex.gallery.dialogs.proseModal.title":"Prosa-Modal","codex.gallery.dialogs.submitBlocked.label":"Senden blockiert","codex.gallery.dialogs.submitBlocked.message":"Deine Nachricht konnte nicht gesendet werden, da das Projekt nicht verfügbar ist.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Senden der Nachricht fehlgeschlagen","codex.gallery.dialogs.title":"Dialoge","codex.gallery.dropdown.filterPlaceholder":"Elemente filtern","codex.gallery.dropdowns.actionRow":"Aktionszeilen","codex.gallery.dropdowns.actionRow.disabled":"Deaktivierte Aktion","codex.gallery.dropdowns.actionRow.primary":"Hauptaktion","codex.gallery.dropdowns.actionRow.secondary":"Sekundäre Aktion","codex.gallery.dropdowns.actionRow.trigger":"Aktionen anzeigen","codex.gallery.dropdowns.basic":"Einfaches Dropdown","codex.gallery.dropdowns.basic.newFile":"Neue Datei","codex.gallery.dropdowns.basic.newFolder":"Neuer Ordner","codex.gallery.dropdowns.basic.openSettings":"Einstellungen öffnen","codex.gallery.dropdowns.basic.title":"Schnellaktionen","codex.gallery.dropdowns.basic.trigger":"Menü öffnen","codex.gallery.dropdowns.basic.upload":"Hochladen","codex.gallery.dropdowns.panel":"Panel-Oberfläche","codex.gallery.dropdowns.panel.apply":"Übernehmen","codex.gallery.dropdowns.panel.body":"Überprüfe die Diffs und wende sie auf dein Projekt an.","codex.gallery.dropdowns.panel.preview":"Vorschau","codex.gallery.dropdowns.panel.title":"Änderungen übernehmen","codex.gallery.dropdowns.panel.trigger":"Panel öffnen","codex.gallery.dropdowns.search":"Durchsuchbares Dropdown","codex.gallery.dropdowns.search.first":"Alpha-Kanal","codex.gallery.dropdowns.search.second":"Beta-Branch","codex.gallery.dropdowns.search.third":"Release-Kandidat","codex.gallery.dropdowns.search.trigger":"Elemente filtern","codex.gallery.dropdowns.submenu":"Dropdown mit Untermenü","codex.gallery.dropdowns.submenu.optionA":"Projekt Alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt Beta","codex.gallery.dropdowns.submenu.optionC":"Projekt Gamma","codex.gallery.dropdowns.submenu.primary":"Eigentümer zuweisen","codex.gallery.dropdowns.submenu.secondary":"Verschieben nach","codex.gallery.dropdowns.submenu.tertiary":"Archivieren","codex.gallery.dropdowns.submenu.trigger":"Aktion wählen","codex.gallery.dropdowns.title":"Dropdowns","codex.gallery.inbox.automations.close":"Schließen","codex.gallery.inbox.automations.popover.cardTitle":"Automatisierungen verwalten","codex.gallery.inbox.automations.popover.dialogTitle":"Automatisierungen verwalten","codex.header.settingsTooltip":"Einstellungen","codex.hunk.patch.error":"Staging fehlgeschlagen","codex.hunk.patch.missing":"Patch für diesen Hunk kann nicht erstellt werden.","codex.hunk.patch.partialSuccess":"Teilweise erfolgreich.","codex.hunk.patch.revertError":"Unstaging fehlgeschlagen","codex.hunk.patch.revertSuccess":"Unstaging erfolgreich","codex.hunk.patch.success":"Staging erfolgreich","codex.legal.autonomy.details":"Weitere Details findest du unter {link}","codex.legal.autonomy.details.link":"Codex-Dokumentation","codex.legal.autonomy.title":"Entscheide, wie viel Autonomie du gewähren möchtest","codex.legal.backButton":"Zurück","codex.legal.cloud.taskOne.meta":"openai/agi · Oct 12","codex.legal.cloud.taskOne.title":"Repository einem neuen Designer erklären","codex.legal.cloud.taskThree.meta":"openai/codex · Oct 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Erscheinungsbild im Dark Mode erstellen","codex.legal.cloud.taskTwo.meta":"openai/agi · Oct 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Onboarding-Bug beheben","codex.legal.continue.apikey":"Weiter","codex.legal.continueButton":"Nächste","codex.legal.copilot.details":"Dein Copilot-Plan gilt für alle Modellaufrufe, die Abrechnung und die Ratenlimits. Die Nutzung der Codex-Erweiterung unterliegt sowohl {oaiTos} als auch {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHub Terms of Service","codex.legal.copilot.oaiTosLink":"OpenAI Codex Terms of Service","codex.legal.copilot.title":"Powered by GitHub Copilot","codex.legal.mistakes.review":"Den Code überprüfen, den es schreibt, und die Befehle, die es ausführt","codex.legal.mistakes.title":"Codex kann Fehler machen","codex.legal.powered.details":"Nutzt deine Plan-Ratenlimits und {link}","codex.legal.powered.details.link":"Einstellungen für Trainingsdaten","codex.legal.powered.title":"Unterstützt durch dein ChatGPT-Konto","codex.legal.step.cloud.subtitle":"Aufgaben an Codex senden, damit sie im Hintergrund ausgeführt werden und du konzentriert bleiben und schneller arbeiten kannst.","codex.legal.step.cloud.title":"Übergabe an Codex in der Cloud","codex.legal.step.intro.subtitle":"Codex navigiert, bearbeitet, führt Befehle aus und führt Tests direkt in deinem Repo aus. Unterstützt durch dein ChatGPT-Konto.","codex.legal.step.intro.title":"Codex in deiner IDE","codex.legal.step.todo.subtitle":"Eine TODO-Kommentierung schreiben und sie mit einem Klick in eine Codex-Aufgabe umwandeln.","codex.legal.step.todo.title":"TODOs in Codex-Aufgaben umwandeln","codex.legal.todo.heading":"// TODO: Schema implementieren","codex.localConversation.closeImagePreview":"Bildvorschau schließen","codex.localConversation.userImageAttachment":"Benutzeranhang","codex.localTaskRow.archiveTask":"Thread archivieren","codex.localTaskRow.awaitingApproval":"Genehmigung ausstehend","codex.localTaskRow.awaitingResponse":"Warte auf Reaktion","codex.localTaskRow.confirmArchiveTask":"Bestätigen","codex.loggedOut.apiKeyPrompt.cancel":"Abbrechen","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"API-Schlüssel abrufen","codex.loggedOut.apiKeyPrompt.inputLabel":"Gib deinen OpenAI-API-Schlüssel ein","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloud-Aufgaben mit API-Schlüssel deaktiviert","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloud-Aufgaben mit Copilot und API-Schlüssel deaktiviert","codex.loggedOut.signIn":"Mit ChatGPT anmelden","codex.loggedOut.signIn.cancel":"Anmeldung abbrechen","codex.loggedOut.signInWithCopilot":"Mit GitHub Copilot anmelden","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API-Schlüssel verwenden","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} Tool","codex.mcpTool.collapsedLabel.verb.called":"Aufgerufen","codex.mcpTool.collapsedLabel.verb.calling":"Wird aufgerufen","codex.mcpTool.embeddedResource.contentLabel":"Inhalt","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-Typ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Tool hat keinen Inhalt zurückgegeben","codex.mcpTool.rawPayloadHeading":"Rohe Nutzlast des Toolaufrufs {server}.{tool}","codex.menu.recent":"Aktuell","codex.menu.seeAllHistory":"Gesamten Verlauf ansehen","codex.modelCapacityBanner.headline.noReset":"{modelName} ist zurzeit ausgelastet. Versuche es später erneut oder starte ein neues Gespräch mit einem anderen Modell.","codex.modelCapacityBanner.headline.withReset":"{modelName} ist zurzeit ausgelastet. Versuche es nach {resetDate} erneut oder starte ein neues Gespräch mit einem anderen Modell.","codex.modelCapacityBanner.title":"Ausgewähltes Modell ist ausgelastet","codex.patch.change.contentsDeleted":"Inhalte gelöscht","codex.patch.change.created":"Erstellt","codex.patch.change.created-file":"Datei erstellt","codex.patch.change.creating":"Wird erstellt","codex.patch.change.deleted":"Gelöscht","codex.patch.change.deleted-file":"Datei gelöscht","codex.patch.change.deleting":"Löschen","codex.patch.change.edited":"Bearbeitet","codex.patch.change.edited-file":"Bearbeitete Datei","codex.patch.change.editing":"Wird bearbeitet","codex.patch.change.noChanges":"Keine Änderungen","codex.patch.change.rejected-add":"Abgelehnt","codex.patch.change.rejected-delete":"Abgelehnt","codex.patch.change.rejected-edit":"Abgelehnt","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} von {total} Aufgaben abgeschlossen","codex.plan.todoListCreated":"To-do-Liste mit {total} Aufgaben erstellt","codex.profileDropdown.apiKeyAuth":"Mit API-Schlüssel angemeldet","codex.profileDropdown.codexSettings":"Codex-Einstellungen","codex.profileDropdown.copilotAuth":"Mit Copilot angemeldet","codex.profileDropdown.defaultAccountTitle":"Standardkonto","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Eingabetaste, um lange Prompts zu senden","codex.profileDropdown.enterBehaviorError":"Aktualisieren der Einstellungen fehlgeschlagen","codex.profileDropdown.getPlus":"Hol dir ein Upgrade für höhere Limits","codex.profileDropdown.keyboardShortcuts":"Tastaturkürzel","codex.profileDropdown.language":"Sprache","codex.profileDropdown.languageDefault":"Automatisch erkennen","codex.profileDropdown.languageSearchPlaceholder":"Sprachen suchen","codex.profileDropdown.languageUpdateError":"Aktualisieren der Sprache fehlgeschlagen","codex.profileDropdown.logOut":"Abmelden","codex.profileDropdown.mcp":"MCP-Einstellungen","codex.profileDropdown.openConfigToml":"config.toml öffnen","codex.profileDropdown.openConfigToml.wsl":"config.toml in WSL-Umgebung öffnen","codex.profileDropdown.openExtensionSettings":"Einstellungen öffnen","codex.profileDropdown.openMcpSettings":"MCP-Einstellungen öffnen","codex.profileDropdown.openOnStartup":"Beim Start öffnen","codex.profileDropdown.openOnStartupError":"Aktualisieren der Einstellungen fehlgeschlagen","codex.profileDropdown.openSkillsSettings":"Fähigkeitseinstellungen öffnen","codex.profileDropdown.personalAccountTitle":"Persönliches Konto","codex.profileDropdown.queueFollowUps":"Folgeaufforderungen in Warteschlange einreihen","codex.profileDropdown.queueFollowUpsError":"Aktualisieren der Einstellungen fehlgeschlagen","codex.profileDropdown.readDocs":"Dokumentation lesen","codex.profileDropdown.readSkillsDocs":"Dokumentation lesen","codex.profileDropdown.runInWsl":"In WSL ausführen","codex.profileDropdown.runInWslError":"Aktualisieren der Einstellungen fehlgeschlagen","codex.profileDropdown.runInWslTooltip":"Codex wird in WSL ausgeführt. Empfohlen für bessere Sandbox-Sicherheit und höhere Performance.","codex.profileDropdown.settings":"IDE-Einstellungen","codex.profileDropdown.settingsPage":"Einstellungen","codex.profileDropdown.signInWithOpenAI":"Mit ChatGPT anmelden","codex.profileDropdown.skills":"Fähigkeitseinstellungen","codex.profileDropdown.switchToCopilotAccount":"Copilot-Konto verwenden","codex.profileDropdown.switchToOpenAIAccount":"OpenAI-Konto verwenden","codex.profileDropdown.todoCodelens":"TODO-Kommentare beheben","codex.profileDropdown.todoCodelensError":"Aktualisieren der Einstellungen fehlgeschlagen","codex.profileDropdown.windowsDocumentation":"Windows-Dokumentation","codex.profileFooter.signedInFallback":"Einstellungen","codex.profileFooter.upgrade":"Upgrade","codex.recentTasksMenu.clearSearch":"Suche löschen","codex.recentTasksMenu.cloud":"Cloud-Aufgaben","codex.recentTasksMenu.count":"{count, plural, =0 {Keine Aufgaben in Bearbeitung} one {# Aufgabe in Bearbeitung} other {# Aufgaben in Bearbeitung}}","codex.recentTasksMenu.empty":"Noch keine Threads","codex.recentTasksMenu.errorCloud":"Aufgaben konnten nicht geladen werden.","codex.recentTasksMenu.errorCloud.inline":"Cloud-Aufgaben konnten nicht geladen werden.","codex.recentTasksMenu.filterAll":"Alle","codex.recentTasksMenu.filterCloudTasks":"Cloud-Aufgaben filtern","codex.recentTasksMenu.filterTooltip":"Aufgaben nach Umgebung filtern","codex.recentTasksMenu.local":"Lokale Aufgaben","codex.recentTasksMenu.recent":"Alle Aufgaben","codex.recentTasksMenu.search":"Kürzlich verwendete Aufgaben durchsuchen","codex.recentTasksMenu.searchEmpty":"Kein Ergebnis","codex.recentTasksMenu.tooltip":"Aufgabenverlauf","codex.recentTasksMenu.trigger":"Kürzlich verwendete Aufgaben. {count, plural, one {# in Bearbeitung} other {# in Bearbeitung}}","codex.remoteConversation.applyDiff.applyCta":"Änderungen übernehmen","codex.remoteConversation.applyDiff.dropdownTitle":"Änderungen für lokalen Branch übernehmen","codex.remoteConversation.applyDiff.revertCta":"Änderungen rückgängig machen","codex.remoteConversation.closeImagePreview":"Bildvorschau schließen","codex.remoteConversation.codexCloudTask":"Du siehst dir eine <u>Codex-Cloud</u> Aufgabe an","codex.remoteConversation.errorWithMessage":"Fehler: {message}","codex.remoteConversation.loadingImage":"Bild wird geladen","codex.remoteConversation.openInWeb":"Im Web öffnen","codex.remoteConversation.streaming":"Wird gestartet","codex.remoteConversation.turnFailed":"Bei dieser Aufgabe ist ein Fehler aufgetreten","codex.remoteConversation.turnTab.loading":"Versuch {number}","codex.remoteConversation.turnTab.title":"Versuch {number}","codex.remoteConversation.userImageAttachment":"Benutzeranhang","codex.remoteConversation.viewPreviousTurns":"Im Internet öffnen","codex.remoteConversation.viewPreviousTurns.buttonText":"Öffnen","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Im Internet öffnen","codex.review.copyGitApplyCommand":"Befehl „git apply“ kopieren","codex.review.copyGitApplyCommand.toast":"Befehl „git apply“ in Zwischenablage kopiert","codex.review.diffTooLarge.description":"Dieser Diff ist zu groß, um ihn in der Überprüfung anzuzeigen.","codex.review.diffTooLarge.title":"Diff ist zu groß zur Anzeige","codex.review.expandOrCollapseDiffButton.collapse":"Alle Diffs einklappen","codex.review.expandOrCollapseDiffButton.expand":"Alle Diffs ausklappen","codex.review.expandOrCollapseDiffMenu.collapse":"Alle Diffs einklappen","codex.review.expandOrCollapseDiffMenu.expand":"Alle Diffs ausklappen","codex.review.fileSearch.clear":"Dateifilter löschen","codex.review.fileSearch.empty":"Es gibt keine Dateien, die mit dem aktuellen Filter übereinstimmen.","codex.review.fileSearch.label":"Dateien filtern","codex.review.fileSearch.placeholder":"Dateien filtern...","codex.review.filesChanged":"{num, plural, =0 {Keine Dateien geändert} one {# Datei geändert} other {# Dateien geändert}}","codex.review.find.loadMore":"Weitere Übereinstimmungen laden","codex.review.fullReview.hideFileTree":"Dateibaum ausblenden","codex.review.fullReview.showFileTree":"Dateibaum einblenden","codex.review.header.moreOptions":"Optionen überprüfen","codex.review.largeDiff.banner":"Große Diff erkannt — Dateien werden nacheinander angezeigt","codex.review.loadFullFiles.disable":"Keine vollständigen Dateien laden","codex.review.loadFullFiles.enable":"Vollständige Dateien laden","codex.review.noDiff":"Dateiänderungen werden hier angezeigt","codex.review.noDiff.gitInit.createRepository":"Git-Repository erstellen","codex.review.noDiff.gitInit.creating":"Wird erstellt…","codex.review.noDiff.gitInit.error":"Git-Init fehlgeschlagen: {message}","codex.review.noDiff.gitInit.success":"Git-Repository erstellt","codex.review.noDiff.gitRepoRequired.description":"Änderungen in diesem Projekt verfolgen und rückgängig machen","codex.review.noDiff.gitRepoRequired.title":"Git-Repository erstellen","codex.review.noDiff.orNoLongerAvailable":"oder•die•neuesten•Diffs•sind•nicht•mehr•verfügbar","codex.review.noDiff.reverted":"Der letzte Schritt wurde rückgängig gemacht","codex.review.noDiff.revertedOrCommitted":"Der letzte Durchlauf wurde entweder zurückgesetzt oder übernommen","codex.review.refreshGitQueries":"Aktualisieren","codex.review.revert.file.error":"Rückgängigmachen von {path} fehlgeschlagen.","codex.review.revert.file.partialSuccess":"{path} teilweise rückgängig gemacht","codex.review.revert.file.success":"{path} rückgängig gemacht","codex.review.revert.hunk.error":"Rückgängigmachen von Hunk {hunkNumber} in {path} fehlgeschlagen","codex.review.revert.hunk.partialSuccess":"Hunk {hunkNumber} in {path} teilweise rückgängig gemacht","codex.review.revert.hunk.success":"Hunk {hunkNumber} in {path} rückgängig gemacht","codex.review.revert.section.error":"Rückgängigmachen des Abschnitts fehlgeschlagen.","codex.review.revert.section.partialSuccess":"Abschnitt teilweise rückgängig gemacht","codex.review.revert.section.success":"Abschnitt rückgängig gemacht","codex.review.revertDialog.cancel":"Abbrechen","codex.review.revertDialog.confirm":"Bestätigen","codex.review.revertDialog.message":"Diese Aktion entfernt alle diese Änderungen.","codex.review.revertDialog.skip":"Nicht noch einmal fragen","codex.review.revertDialog.title":"Änderungen rückgängig machen?","codex.review.richPreview.disable":"Erweiterte Vorschau deaktivieren","codex.review.richPreview.enable":"Erweiterte Vorschau aktivieren","codex.review.source.cloud":"Cloud-Änderungen","codex.review.source.local.all":"Alle Branch-Änderungen","codex.review.source.local.lastTurn":"Änderungen der letzten Runde","codex.review.source.local.uncommitted":"Nicht übernommene Änderungen","codex.review.source.worktree":"Nicht committete Worktree-Änderungen","codex.review.stageFilter.empty.staged.description":"Änderungen übernehmen und stagen","codex.review.stageFilter.empty.staged.title":"Keine gestagten Änderungen","codex.review.stageFilter.empty.unstaged.description":"Code-Änderungen werden hier angezeigt.","codex.review.stageFilter.empty.unstaged.title":"Keine nicht gestagten Änderungen","codex.review.stageFilter.staged":"Gestagt","codex.review.stageFilter.staged.count":"Gestagt: {count}","codex.review.stageFilter.unstaged":"Nicht gestagt","codex.review.stageFilter.unstaged.count":"Nicht gestagt: {count}","codex.review.switchToSplit":"Zu geteiltem Diff wechseln","codex.review.switchToUnified":"Zu Unified-Diff wechseln","codex.review.toggleDiffView":"Diff-Ansicht umschalten","codex.review.wordDiffs.disable":"Wortänderungen deaktivieren","codex.review.wordDiffs.enable":"Wort-Diffs aktivieren","codex.review.wrap.disable":"Zeilenumbruch deaktivieren","codex.review.wrap.enable":"Zeilenumbruch aktivieren","codex.section.patch.missing":"Patch für diesen Abschnitt kann nicht erstellt werden.","codex.shell.collapse":"Shell einklappen","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Shell-Inhalte kopiert","codex.shell.copy.copyTooltip":"Shell-Inhalte kopieren","codex.shell.copyCommand":"Befehl kopieren","codex.shell.copyOutput":"Ausgabe kopieren","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"Shell ausklappen","codex.shell.name":"Shell","codex.shell.noOutput":"Kein Output","codex.signInFailed.message":"Anmeldung fehlgeschlagen: {rawMessage}","codex.stories.toast.show":"Toast anzeigen","codex.stories.tooltip.basic":"Dies ist ein Tooltip","codex.stories.tooltip.hoverMe":"Mit der Maus darüberfahren","codex.stories.tooltip.largerOffset":"Dieser Tooltip hat einen größeren Versatz","codex.stories.tooltip.offsetButton":"Größerer Versatz","codex.stories.tooltip.shortcutButton":"Mit Tastenkürzel","codex.stories.tooltip.withShortcut":"Terminal anzeigen/ausblenden","codex.taskRow.title":"Neuer Thread","codex.taskRowLayout.confirm":"Bestätigen","codex.threadFindBar.chatFilter":"Chat durchsuchen","codex.threadFindBar.close":"Suche schließen","codex.threadFindBar.diffFilter":"Diffs durchsuchen","codex.threadFindBar.label":"Im Thread suchen","codex.threadFindBar.nextResult":"Nächstes Ergebnis","codex.threadFindBar.noResults":"0 Ergebnisse","codex.threadFindBar.placeholder":"Thread durchsuchen…","codex.threadFindBar.placeholder.extension":"Thread durchsuchen…","codex.threadFindBar.placeholder.review":"Diff durchsuchen...","codex.threadFindBar.placeholder.review.extension":"Diff durchsuchen...","codex.threadFindBar.previousResult":"Vorheriges Ergebnis","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# Datei geändert} other {# Dateien geändert}}","codex.unifiedDiff.inlineLargeFile":"Zu groß für die Inline-Anzeige","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Rückgängig machen","codex.unifiedDiff.revertPatchError":"Änderungen konnten nicht zurückgesetzt werden","codex.unifiedDiff.revertPatchSuccess":"Änderungen zurückgesetzt","codex.unifiedDiff.reviewChangesSuffix":"Änderungen","codex.unifiedDiff.reviewShort":"Überprüfen","codex.unifiedDiff.viewDiffTooltip":"Überprüfen","codex.upsellBanner.business.headline":"Sende eine Anfrage an den Admin, falls du jetzt mehr Zugriff benötigst, oder warte bis {resetDate}.","codex.upsellBanner.cbp.headline":"Sende eine Anfrage an deinen Admin, falls du jetzt mehr Zugriff benötigst.","codex.upsellBanner.cta.addCredits":"Credits hinzufügen","codex.upsellBanner.cta.upgradeAccount":"Upgrade","codex.upsellBanner.cta.viewUsage":"Nutzung anzeigen","codex.upsellBanner.free.trialHeadline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt. Um Codex weiterhin zu nutzen und Zugang zu GPT-5.3-Codex zu erhalten, starte heute deine kostenlose Testversion für Plus.","codex.upsellBanner.freeOrGo.headline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt. Um Codex weiter zu nutzen, hol dir heute noch ein Upgrade auf Plus.","codex.upsellBanner.general.headline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt.","codex.upsellBanner.general.title":"Du hast das Limit an Codex-Nachrichten erreicht","codex.upsellBanner.go.trialHeadline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt. Um Codex weiterhin zu nutzen, starte heute deine kostenlose Testversion für Plus.","codex.upsellBanner.plus.headline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt. Um Codex weiter zu nutzen, füge Credits hinzu oder hol dir heute noch ein Upgrade auf Pro.","codex.upsellBanner.pro.headline":"Dein Ratenlimit wird am {resetDate} zurückgesetzt. Füge jetzt Credits hinzu, um Codex weiter zu nutzen.","codex.userMessage.autoResolveSync":"Konflikte automatisch auflösen","codex.userMessage.commentCount":"{count, plural, one {# Kommentar} other {# Kommentare}}","codex.userMessage.copiedAriaLabel":"Kopiert","codex.userMessage.copiedTooltip":"Kopiert","codex.userMessage.copyAriaLabel":"Nachricht kopieren","codex.userMessage.copyTooltip":"Kopieren","codex.userMessage.implementPlan":"Plan implementieren","codex.userMessage.noContent":"(Kein•Inhalt)","codex.userMessage.priorConversation":"Verweist auf vorheriges Gespräch","codex.userMessage.reviewMode":"Überprüfungsmodus","codex.webSearch.summary":"{details} {label}","codex.webSearch.summary.details":"für {query}","codex.webSearch.summary.verb.completed":"Internet durchsucht","codex.webSearch.summary.verb.inProgress":"Internet wird durchsucht","codex.windowsInstallWslBanner.dismiss":"Verwerfen","codex.windowsInstallWslBanner.installWslCta":"Sandbox aktivieren","codex.windowsInstallWslBanner.learnMore":"Mehr erfahren","codex.windowsSandboxBanner.content":"Der Agent-Modus verwendet unter Windows eine experimentelle Sandbox, um den Zugriff auf Dateisystem und Netzwerk einzuschränken. {sandboxLink}","codex.windowsSandboxBanner.title":"Sandbox für den Agent-Modus aktivieren","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-Einstellungen","codexUpgradeModal.body":"Unser neuestes Frontier-Modell für agentisches Coden: intelligenter, schneller und leistungsfähiger für allgemeine technische Programmieraufgaben. {link}","codexUpgradeModal.close":"Schließen","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Mehr erfahren","codexUpgradeModal.title":"Vorhang auf für GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex jetzt ausprobieren","codexUpgradeModal.useExistingModel":"Mit dem aktuellen Modell fortfahren","commentAttachments.numComments":"{count, plural, one {# Kommentar} other {# Kommentare}}","commentAttachments.removeAriaLabel":"Kommentaranhang entfernen","common.close":"Schließen","composer.addContext.openFilePickerError":"Dateiauswahl konnte nicht geöffnet werden.","composer.addContextDropdown.ariaLabel":"Dateien und mehr hinzufügen","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Dateien und mehr hinzufügen","composer.addPhotosAndFiles":"Fotos und Dateien hinzufügen","composer.atMentionList.emptyQuery":"Tippe, um nach Dateien zu suchen","composer.atMentionList.loading":"Suchvorgang läuft…","composer.atMentionList.noResults":"Keine Ergebnisse","composer.attemptsSelector.option":"{count, plural, one {# Version} other {# Versionen}}","composer.attemptsSelector.tooltip":"Anzahl der parallelen Versuche, die Codex ausführen soll","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Anhalten","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokal","composer.cloudFollowUp.whereRun":"Wo soll dieser Folgeauftrag ausgeführt werden?","composer.cloudTaskCreationError":"Fehler beim Erstellen der Cloud-Aufgabe","composer.cloudTaskError":"Fehler beim Erstellen der Aufgabe","composer.contextWindow.autoCompactionTooltipLine1":"Codex komprimiert seinen Kontext automatisch.","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontextfenster:","composer.contextWindowUsageStatusFull":"{usage} % voll","composer.contextWindowUsageStatusLeft":"{usage} % verwendet ({remaining} % verbleibend)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k Tokens verwendet","composer.customCliTooltip":"Benutzerdefinierte CLI-Executable verwenden","composer.dictation.aria":"Diktieren","composer.dictation.cancel.aria":"Diktat beenden","composer.dictation.cancel.tooltip":"Diktat beenden","composer.dictation.startError":"Diktat konnte nicht gestartet werden","composer.dictation.submit.aria":"Transkribieren und übermitteln","composer.dictation.submit.tooltip":"Transkribieren und übermitteln","composer.dictation.tooltip":"Zum Diktieren halten","composer.dictation.transcribeError":"Audio konnte nicht transkribiert werden","composer.dictation.unsupported":"Diktat auf diesem Gerät nicht verfügbar","composer.dropOverlay.holdShift":"{key} halten, um abzulegen","composer.dropOverlay.shiftKey":"Umschalttaste","composer.environmentSelector.createNew":"Neue erstellen","composer.environmentSelector.error":"Fehler beim Laden der Umgebungen","composer.environmentSelector.goBack":"Zurück zum Composer","composer.environmentSelector.title":"Umgebung auswählen","composer.environmentSelector.tooltip":"Cloud-Umgebung auswählen","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Datei auswählen","composer.filePicker.selectFiles":"Dateien auswählen","composer.followerTooltip":"Um fortzufahren, kehre zu dem Fenster zurück, in dem dieses Gespräch gestartet wurde.","composer.footer.branchSwitch.checkoutError":"Branch konnte nicht gewechselt werden: {message}","composer.footer.branchSwitch.createAndCheckout":"Neuen Branch erstellen und auschecken…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Änderungen committen, um einen neuen Branch zu erstellen und auszuchecken","composer.footer.branchSwitch.createBranchError":"Branch konnte nicht erstellt werden: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Branch-Name","composer.footer.branchSwitch.createDialog.branchExistsError":"Datei ist bereits vorhanden.","composer.footer.branchSwitch.createDialog.close":"Schließen","composer.footer.branchSwitch.createDialog.createAndCheckout":"Erstellen und auschecken","composer.footer.branchSwitch.createDialog.placeholder":"neuer-branch","composer.footer.branchSwitch.createDialog.title":"Branch erstellen und auschecken","composer.footer.branchSwitch.createDialog.trailingSlashError":"Der Branch-Name darf nicht mit „/“ enden.","composer.footer.branchSwitch.tooltip":"Branch wechseln","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Änderungen in {fileCount, plural, one {# Datei} other {# Dateien}} committen, um {branchName} auszuchecken.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Committen","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"Änderungen in {fileCount, plural, one {# Datei} other {# Dateien}}, um {branchName} auszuchecken.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Abbrechen","composer.footer.branchSwitch.uncommittedDialog.commit":"Committen und Branch wechseln…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Deine Änderungen an den folgenden Dateien würden beim Auschecken überschrieben:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Committe deine Änderungen, um fortzufahren.","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"der ausgewählte Branch","composer.footer.branchSwitch.uncommittedDialog.title":"Änderungen committen, um den Branch zu wechseln","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nicht committet: {fileCount, plural, one {# Datei} other {# Dateien}}","composer.forkSlashCommand.description":"Diesen Thread lokal oder in einen neuen Worktree forken","composer.forkSlashCommand.option.local.description":"In neuem lokalen Thread fortfahren","composer.forkSlashCommand.option.local.title":"Lokal forken","composer.forkSlashCommand.option.worktree.description":"In neuem Worktree fortfahren","composer.forkSlashCommand.option.worktree.title":"In neuen Worktree forken","composer.forkSlashCommand.title":"Forken","composer.ideContextIndicator":"IDE-Kontext","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Kontext aus der IDE einbeziehen","composer.ideContextIndicator.tooltipToggle":"zum Umschalten","composer.ideContextSlashCommand.disableDescription":"IDE-Kontext deaktivieren","composer.ideContextSlashCommand.enableDescription":"Aktuelle Auswahl, geöffnete Dateien und weiteren Kontext aus deiner IDE einbeziehen","composer.ideContextSlashCommand.title":"IDE-Kontext","composer.imageInputsUnsupported":"Dieses Modell unterstützt keine Bildeingaben. Versuche es mit einem anderen.","composer.imageUploadFailed":"Bild konnte nicht hochgeladen werden","composer.includeIdeContextDropdown":"IDE-Kontext einbeziehen","composer.includeIdeContextDropdown.ariaLabel":"IDE-Kontext einbeziehen","composer.localCwdDropdown.addWorkspaceRoot":"Neues Projekt hinzufügen","composer.localCwdDropdown.noActiveRoot":"Wähle dein Projekt aus.","composer.localCwdDropdown.noResults":"Keine Ordner gefunden","composer.localCwdDropdown.title":"Wähle dein Projekt aus.","composer.localTaskError":"Fehler beim Starten des Gesprächs","composer.mcpSlashCommand.description":"MCP-Serverstatus anzeigen","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nicht authentifiziert","composer.mcpStatus.authOauth":"Authentifiziert (OAuth)","composer.mcpStatus.authToken":"Authentifiziert (API-Schlüssel)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Schließen","composer.mcpStatus.disabled":"Deaktiviert","composer.mcpStatus.emptyLabel":"Server:","composer.mcpStatus.emptyValue":"Keine MCP-Server konfiguriert","composer.mcpStatus.enabled":"Aktiviert","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"MCP-Status konnte nicht geladen werden","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Modus wechseln","composer.mode.agentMode.custom":"Individuell","composer.mode.agentMode.custom.dropdownLabel":"Individuell","composer.mode.agentMode.custom.option":"Benutzerdefiniert (config.toml)","composer.mode.agentMode.custom.optionLabel":"Benutzerdefiniert (config.toml)","composer.mode.agentMode.customInfo.cancel":"Abbrechen","composer.mode.agentMode.customInfo.cli":"Du kannst diese Einstellungen über die CLI anpassen oder die Datei direkt bearbeiten.","composer.mode.agentMode.customInfo.confirm":"Benutzerdefinierten Modus verwenden","composer.mode.agentMode.customInfo.description":"Der benutzerdefinierte Modus wendet die Genehmigungs- und Sandbox-Richtlinien an, die du in deiner<link>config.toml</link>Datei definiert hast.","composer.mode.agentMode.customInfo.docs":"Weitere Informationen zum Konfigurieren von Genehmigungs- und Sandbox-Richtlinien in der<link>Ausführungsumgebungs-Dokumentation</link>.","composer.mode.agentMode.customInfo.refresh":"Änderungen werden wirksam, wenn der Agent das nächste Mal ausgeführt wird.","composer.mode.agentMode.customInfo.title":"So funktioniert der benutzerdefinierte Modus","composer.mode.agentMode.fullAccess":"Agent (voller Zugriff)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (voller Zugriff)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (voller Zugriff)","composer.mode.agentMode.fullAccessConfirm.caution":"Sei vorsichtig, wenn du vollen Zugriff aktivierst. Dadurch steigt das Risiko von Datenverlust, Lecks oder unerwartetem Verhalten deutlich.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ja, trotzdem fortfahren","composer.mode.agentMode.fullAccessConfirm.description":"Wenn Codex mit vollem Zugriff läuft, kann es jede Datei auf deinem Computer bearbeiten und Befehle mit Netzwerk ausführen – ohne deine Genehmigung.","composer.mode.agentMode.fullAccessConfirm.goBack":"Abbrechen","composer.mode.agentMode.fullAccessConfirm.title":"Vollen Zugriff aktivieren?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Modus wechseln","composer.mode.agentMode.tooltip.auto":"Dateien lesen und bearbeiten sowie Befehle ausführen.","composer.mode.agentMode.tooltip.custom":"Die neuesten in der config.toml definierten Genehmigungs- und Sandbox-Richtlinien verwenden.","composer.mode.agentMode.tooltip.fullAccess":"Codex kann Dateien außerhalb des Projekts bearbeiten und Befehle mit Netzwerkzugang ausführen. Gehe also vorsichtig vor.","composer.mode.agentMode.tooltip.readOnly":"Erfordert Genehmigung zum Bearbeiten von Dateien und Ausführen von Befehlen.","composer.mode.cloud.tooltip":"In einer Cloud-Umgebung arbeiten","composer.mode.contactAdmin":"Um mehr Zugriff zu erhalten, kontaktiere deinen Admin","composer.mode.local":"Lokal","composer.mode.local.learnMore":"Mehr erfahren","composer.mode.local.model.custom":"Benutzerdefiniert","composer.mode.local.model.loadingModel":"Modell wird geladen","composer.mode.local.model.selecrReasoningEffort":"Reasoning auswählen","composer.mode.local.model.selectModel":"Modell auswählen","composer.mode.local.model.tooltip":"Modell auswählen","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Hoch","composer.mode.local.reasoning.low.label":"Niedrig","composer.mode.local.reasoning.medium.label":"Mittel","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Keinen","composer.mode.local.reasoning.xhigh.label":"Extra hoch","composer.mode.localRemoteWhereRun":"Auswählen, wo die Aufgabe ausgeführt werden soll","composer.mode.newTask.header":"Weiter in","composer.mode.rateLimit.day":"{days} Tag(e)","composer.mode.rateLimit.heading":"Verbleibende Ratenlimits","composer.mode.rateLimit.hour":"{hours} Std.","composer.mode.rateLimit.minute":"{minutes} Min.","composer.mode.rateLimit.modelSectionLabel":"Limit von {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {Wochenlimit} other {Wochenlimit {weeks}}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Wöchentlich} other {Woche {weeks}}}","composer.mode.remote.connectToCloud":"Codex Web verbinden","composer.mode.remote.connectToCloudDisabledTooltip":"Eine Umgebung über Codex Web einrichten, um Aufgaben in die Cloud senden zu können","composer.mode.remote.selectEnvironment":"Umgebung auswählen","composer.mode.remote.sendToCloud":"In die Cloud senden","composer.mode.remote.setupViaWeb":"Eine Umgebung über Codex Web einrichten","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"In Cloud-Umgebung arbeiten","composer.mode.segmentedToggle.local.tooltip":"In deinem lokalen Projekt arbeiten","composer.mode.segmentedToggle.worktree.tooltip":"In einem parallelen Worktree arbeiten","composer.mode.upgradeToPlus":"Auf Plus upgraden","composer.mode.upgradeToPro":"Auf Pro upgraden","composer.mode.workLocally":"Lokales Projekt","composer.mode.workLocally.currentBranchFallback":"dein Branch","composer.mode.workLocally.tooltip":"Arbeite in {branchName}","composer.mode.worktree":"Neuer Worktree","composer.mode.worktree.submoduleWarning":"Dieses Repo enthält Git-Submodule. Die Erstellung des Worktrees kann fehlschlagen.","composer.mode.worktree.tooltip":"Eine Kopie deines lokalen Projekts erstellen, um parallel zu arbeiten","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Durch einen Modellwechsel während des Gesprächs wird die Leistung beeinträchtigt.","composer.newChat.heading.browser":"Was programmieren wir als Nächstes?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex verwendet die in config.toml definierte Berechtigung.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex hat vollen Zugriff auf deinen Computer (höheres Risiko).","composer.permissionsDropdown.custom.label":"Benutzerdefiniert (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Benutzerdefiniert (config.toml)","composer.permissionsDropdown.default.label":"Standardberechtigungen","composer.permissionsDropdown.default.optionLabel":"Standardberechtigungen","composer.permissionsDropdown.default.tooltip":"Codex führt Befehle automatisch in einer Sandbox aus.","composer.permissionsDropdown.disabled.requirements":"Berechtigungen sind in requirements.toml gesperrt.","composer.permissionsDropdown.fullAccess.disabled":"Vollzugriff ist durch requirements.toml deaktiviert.","composer.permissionsDropdown.fullAccess.label":"Vollzugriff","composer.permissionsDropdown.fullAccess.optionLabel":"Vollzugriff","composer.permissionsDropdown.trigger.tooltip":"Berechtigungen ändern","composer.personalitySlashCommand.description.friendly":"Freundlich, kooperativ und hilfsbereit","composer.personalitySlashCommand.description.pragmatic":"Effizient, aufgabenorientiert und direkt","composer.personalitySlashCommand.label.friendly":"Freundlich","composer.personalitySlashCommand.label.pragmatic":"Pragmatisch","composer.personalitySlashCommand.notApplicableSuffix":"(Gilt nicht für aktuelles Modell)","composer.personalitySlashCommand.title":"Persönlichkeit","composer.placeholder.cloudFollowUp.directFollowUp":"Folgeaktion zu dieser Cloud-Aufgabe","composer.placeholder.cloudFollowUp.local":"Eine neue lokale Aufgabe erstellen, die auf diese Cloud-Aufgabe verweist","composer.placeholder.cloudFollowUp.workingTree":"Eine neue Cloud-Aufgabe erstellen, die deinen aktuellen Code enthält und auf diese Aufgabe verweist","composer.placeholder.localFollowUp.cloud":"Folgeaktion in neuer Cloud-Aufgabe","composer.placeholder.localFollowUp.locally":"Nach Folgeänderungen fragen","composer.placeholder.newTask.cloud":"Codex auffordern, irgendetwas in der Cloud zu tun","composer.placeholder.newTask.doAnything":"Codex bitten, alles Mögliche zu tun","composer.placeholder.newTask.locally":"Frag Codex irgendetwas, @ zum Hinzufügen von Dateien, / für Befehle","composer.planModeDropdown":"Planmodus","composer.planModeDropdown.ariaLabel":"Planmodus","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Einen Plan mit Codex erstellen","composer.planModeIndicator.tooltipToggle":"zum Umschalten","composer.planSlashCommand.disableDescription":"Planmodus ausschalten","composer.planSlashCommand.enableDescription":"Planmodus einschalten","composer.planSlashCommand.title":"Planmodus","composer.priorContext.label":"Vorheriger Kontext","composer.priorContext.removeAriaLabel":"Vorherigen Kontext entfernen","composer.queuedMessage.delete":"Nachricht in der Warteschlange löschen","composer.queuedMessage.edit":"Nachricht bearbeiten","composer.queuedMessage.more":"Aktionen für Nachrichten in der Warteschlange","composer.queuedMessage.sendNow":"Steuern","composer.queuedMessage.sendNowTooltip":"Jetzt senden, ohne die Arbeit zu unterbrechen","composer.queuedMessage.turnOff":"Warteschlange deaktivieren","composer.reasoningEffort.local.reasoning.tooltip":"Reasoning-Aufwand auswählen","composer.remote.branchStartingPoint":"Von welchem Branch soll diese Aufgabe starten?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Eine neue Aufgabe erstellen, die auf diese Cloud-Aufgabe verweist.","composer.remote.currentEditsSuffix.useLocal":"mit•lokalen•Codeänderungen","composer.remote.directFollowUp":"Lokale Codeänderungen nicht verwenden","composer.remote.errorLoadingBranches":"Fehler beim Laden der Branches","composer.remote.fromBranch":"von {branch}","composer.remote.fromCurrentBranch":"Von {branch} (aktuell)","composer.remote.loadingMoreBranches":"Wird geladen...","composer.remote.localFileStateHeading":"Lokaler•Dateistatus","composer.remote.localWorkingTree":"Lokale Änderungen verwenden","composer.remote.startingPoint":"Von welchem Code soll diese Aufgabe starten?","composer.reviewMode.branches.error":"Branches konnten nicht geladen werden","composer.reviewMode.branches.retry":"Erneut versuchen","composer.reviewMode.gitRoot.error":"Git-Root nicht gefunden","composer.reviewMode.option.baseBranch.simple":"Überprüfung gegen den Basis-Branch","composer.reviewMode.option.unstaged.simple":"Nicht übernommene Änderungen überprüfen","composer.reviewMode.quickReviewError":"Code-Überprüfung konnte nicht gestartet werden","composer.reviewMode.title":"Code-Überprüfung","composer.sandboxButton.unlock.disabled.tooltip":"Vollzugriff ist durch requirements.toml deaktiviert.","composer.sandboxButton.windowsSandboxDialog.content":"Codex kann unter Windows eine experimentelle Sandbox verwenden, um den Zugriff auf Dateisystem und Netzwerk einzuschränken. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows-Sandbox aktivieren?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Schreibgeschützt verwenden","composer.searchEnvironments":"Umgebungen suchen","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Fähigkeiten werden geladen...","composer.skillMentionList.noResults":"Keine Fähigkeiten gefunden","composer.slashCommands.cloudEnvironment.title":"Cloud-Umgebung","composer.slashCommands.dialogLabel":"Slash-Befehlsmenü","composer.slashCommands.dialogTitle":"Slash-Befehle","composer.slashCommands.disabledTooltip":"Ein neues Gespräch starten, um Slash-Befehle zu verwenden","composer.slashCommands.inputPlaceholder":"Suchen","composer.slashCommands.noResults":"Keine Befehle","composer.slashCommands.skillsGroup":"Fähigkeiten","composer.slashCommands.tooltip":"Slash-Befehle durchsuchen","composer.status.close":"Schließen","composer.statusPlain.alertLabel":"Alarm:","composer.statusPlain.alertValue":"{remaining} % übrig•auf {window}","composer.statusPlain.contextLabel":"Kontext:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} verwendet / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % übrig","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Limit von {modelName}:","composer.statusPlain.rateLimitDays":"{count}-Tage-Limit","composer.statusPlain.rateLimitFallbackLabel":"Ratenlimit:","composer.statusPlain.rateLimitHours":"{count}-Stunden-Limit","composer.statusPlain.rateLimitLabelBase":"Ratenlimit","composer.statusPlain.rateLimitMinutes":"{count}-Minuten-Limit","composer.statusPlain.rateLimitPercent":"{remaining} % übrig","composer.statusPlain.rateLimitReset":"Wird zurücksetzt {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"Zeit•für•Zurücksetzen•nicht•verfügbar","composer.statusPlain.rateLimitUnavailable":"Nicht verfügbar","composer.statusPlain.sessionCopiedAriaLabel":"Sitzungs-ID•kopiert","composer.statusPlain.sessionCopiedTooltip":"ID•kopiert","composer.statusPlain.sessionCopyAriaLabel":"Sitzungs-ID•kopieren","composer.statusPlain.sessionCopyTooltip":"ID•kopieren","composer.statusPlain.sessionLabel":"Sitzung:","composer.statusSlashCommand.description":"Thread-ID,•Kontextnutzung•und•Ratenlimits•anzeigen","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Senden der Nachricht fehlgeschlagen","composer.submit.emptyMessage":"Eine Nachricht eingeben, um zu beginnen","composer.submit.imageInputsUnsupported":"Entferne die Bilder oder wechsle das Modell, um diese Nachricht zu senden.","composer.submit.loadingLocalConfig":"Wird geladen...","composer.submit.missingCloudConfig":"Du musst eine Cloud-Umgebung auswählen","composer.submit.missingCloudTurn":"Für diese Aufgabe kann kein Folgeauftrag erstellt werden","composer.submit.noWorkspace":"Füge ein Projekt hinzu, um Codex zu nutzen.","composer.submit.waitForImageUploads":"Bilder werden hochgeladen…","composer.submitButtonTooltip.send":"Senden","composer.submitButtonTooltip.stop":"Anhalten","composer.worktreeEnvironment.create":"Lokale Umgebung erstellen","composer.worktreeEnvironment.default":"Standardumgebung","composer.worktreeEnvironment.error":"Fehler beim Laden der Umgebungen","composer.worktreeEnvironment.loading":"Umgebungen werden geladen...","composer.worktreeEnvironment.title":"Lokale Umgebung","composer.worktreeEnvironment.tooltip":"Lokale Umgebung auswählen","composer.worktreeSetupFailed":"Worktree-Einrichtung fehlgeschlagen. Prüfe .codex/environments auf ein Setup-Skript.","compoundButton.secondaryAction":"Sekundäre Aktion","copyButton.copied":"Kopiert","copyButton.copiedAriaLabel":"Kopiert","copyButton.copy":"Kopieren","copyButton.copyAriaLabel":"Kopieren","copyButton.copyCode":"Code kopieren","diff.actionButton.revertFile":"Datei zurücksetzen","diff.actionButton.revertHunk":"Zurücksetzen","diff.actionButton.revertSection":"Alle zurücksetzen","diff.actionButton.revertSectionLabel":"Alle zurücksetzen","diff.actionButton.stageFile":"Datei stagen","diff.actionButton.stageHunk":"Stagen","diff.actionButton.stageSection":"Alle stagen","diff.actionButton.stageSectionLabel":"Alle stagen","diff.actionButton.unstageFile":"Datei vom Staging entfernen","diff.actionButton.unstageHunk":"Vom Staging entfernen","diff.actionButton.unstageSection":"Alle vom Staging entfernen","diff.actionButton.unstageSectionLabel":"Alle vom Staging entfernen","diff.fileHeader.toggle":"Datei-Diff umschalten","electron.onboarding.login.apikey.cancel":"Abbrechen","electron.onboarding.login.apikey.continue":"Weiter","electron.onboarding.login.apikey.label":"OpenAI-API-Schlüssel","electron.onboarding.login.apikey.open":"API-Schlüssel eingeben","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Anmeldung abbrechen","electron.onboarding.login.chatgpt.continue":"Weiter mit ChatGPT","electron.onboarding.login.devbox":"Mit Remote-SSH verbinden","electron.onboarding.login.error":"Anmeldung fehlgeschlagen: {rawMessage}","electron.onboarding.login.snake.start":"Snake spielen","electron.onboarding.login.sshConfig.cancel":"Abbrechen","electron.onboarding.login.sshConfig.continue":"Weiter","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Die beste Methode, mit Agenten zu arbeiten","electron.onboarding.login.title":"Willkommen bei Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Weiter","electron.onboarding.welcome.doubleLimits.description":"Zur Feier des Starts der Codex-App schenken wir dir bis zum 2. April doppelt so hohe Ratenlimits.","electron.onboarding.welcome.freego.description":"Codex ist bis zum 2. März kostenlos in deinem Plan enthalten. Viel Spaß beim Coden!","electron.onboarding.welcome.new.title.anon":"Willkommen!","electron.onboarding.workspace.continue":"Weiter","electron.onboarding.workspace.empty":"Füge ein Projekt hinzu, um fortzufahren.","electron.onboarding.workspace.listLabel":"Verfügbare Projekte","electron.onboarding.workspace.loading":"Projekte werden geladen...","electron.onboarding.workspace.openFolder":"Projekt hinzufügen","electron.onboarding.workspace.selectAll":"Alle auswählen","electron.onboarding.workspace.skip":"Überspringen","electron.onboarding.workspace.skip.error":"Neues Projekt konnte nicht erstellt werden: {message}","electron.onboarding.workspace.skip.error.unknown":"Unbekannter Fehler","electron.onboarding.workspace.skipping":"Neues Projekt wird erstellt…","electron.onboarding.workspace.subtitle":"Codex kann Dateien bearbeiten und Befehle in ausgewählten Ordnern ausführen.","electron.onboarding.workspace.title":"Projekt auswählen","errorPage.list.checkSettings":"Versuche, deine IDE-Einstellungen zu aktualisieren","errorPage.list.configToml":"Überprüfe deine config.toml auf ungültige Einstellungen","errorPage.list.downloadExtension":"Versuche, eine andere Version der Erweiterung herunterzuladen","errorPage.list.runInWsl":"Überprüfe deine Einstellungen, um das Ausführen in WSL zu deaktivieren, wenn du Kompatibilitätsprobleme feststellst","execApprovalRequest.menu.runAlways":"Ja, und in dieser Sitzung nicht erneut fragen.","execApprovalRequest.menu.runAlwaysWithAmendment":"Ja, und bei Befehlen nicht mehr nachfragen, die mit {command} beginnen","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ja, und bei Befehlen nicht mehr nachfragen, die beginnen mit:","execApprovalRequest.menu.runOnce":"Ja","execApprovalRequest.prompt":"Willst du diesen Befehl ausführen?","execApprovalRequest.reject":"Nein","execFooter.exitCode":"Exit-Code {code}","execFooter.exitCode.unknown":"unbekannt","execFooter.success":"Erfolgreich abgeschlossen","feedback.dialog.category.badResult":"Schlechtes Ergebnis","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Gutes Ergebnis","feedback.dialog.category.other":"Sonstiges","feedback.dialog.descriptionPlaceholder":"Beschreibe das Problem hier","feedback.dialog.dismiss":"Verwerfen","feedback.dialog.includeLogsLabel":"Aktuelle Codex-Sitzungsprotokolle einbeziehen","feedback.dialog.submit":"Absenden","feedback.dialog.submitError":"Dein Feedback konnte nicht übermittelt werden. Bitte versuche es in einem Moment erneut.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"bestehendes offenes Problem","feedback.dialog.uploadedMessage.openIssue":"GitHub-Problem öffnen","feedback.dialog.uploadedMessage.withThread":"Feedback hochgeladen. Wenn das Problem weiterhin besteht, bitte {openIssueLink} oder Thread-ID in einem {existingIssueLink} angeben:","feedback.dialog.uploadedTitle":"Feedback hochgeladen","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} entfernen","header.back":"Zurück","header.recentChats":"Aufgaben","header.recentTasks.seeAll":"Alle ({total}) anzeigen","home.header.getPlus":"Plus holen","home.hero.letsBuild":"Viel Spaß beim Coden","homePage.mainContent":"Hauptinhalte","imageAttachment.defaultName":"Bild","imageAttachment.preview.close":"Bildvorschau schließen","imageAttachment.removeAriaLabel":"{filename} entfernen","implementPlanRequest.option.implement":"Ja, diesen Plan implementieren","implementPlanRequest.prompt":"Diesen Plan implementieren?","inbox.archived.deleteError":"Archivierter Run konnte nicht gelöscht werden.","inbox.archived.deleteRun":"Archivierten Run löschen","inbox.archived.deleteSuccess":"Der archivierte Thread wurde gelöscht und kann in den <settingsLink>archivierten Threads</settingsLink> eingesehen werden.","inbox.archived.inlineLabel.auto":"Dieser Thread wurde automatisch archiviert. <learnMoreLink>Mehr erfahren</learnMoreLink>","inbox.archived.inlineLabel.manual":"Dieser Thread wurde archiviert.","inbox.archived.noMessageFound":"Keine Nachricht gefunden","inbox.automations.createError":"Automatisierung konnte nicht erstellt werden.","inbox.automations.deleteConfirm.cancel":"Abbrechen","inbox.automations.deleteConfirm.confirm":"Automatisierung löschen","inbox.automations.deleteConfirm.description":"Dadurch wird die Automatisierung dauerhaft gelöscht und zukünftige Läufe gestoppt.","inbox.automations.deleteConfirm.title":"{name} löschen?","inbox.automations.deleteError":"Automatisierung konnte nicht gelöscht werden.","inbox.automations.editTooltip":"Automatisierung bearbeiten","inbox.automations.inProgress":"In Bearbeitung","inbox.automations.new":"Neu","inbox.automations.newToolbar":"Neue Automatisierung","inbox.automations.pauseTooltip":"Automatisierung anhalten","inbox.automations.resumeTooltip":"Automatisierung wieder aufnehmen","inbox.automations.startingNow":"Jetzt starten","inbox.automations.startsIn":"Startet in {startTime}","inbox.automations.status.active":"Aktiv","inbox.automations.status.paused":"Angehalten","inbox.automations.status.runs":"{count} Läufe","inbox.automations.status.started":"Gestartet am {date}","inbox.automations.updateError":"Automatisierung konnte nicht aktualisiert werden","inbox.automations.workspaceFallback":"–","inbox.filter.all":"Alle","inbox.filter.ariaLabel":"Posteingangselemente filtern","inbox.filter.unread":"Ungelesene","inbox.list.archived":"Archiviert","inbox.list.inProgress":"In Bearbeitung","inbox.list.recent":"Abgeschlossen","inbox.list.upNext":"Geplant","inbox.mode.automations":"Automatisierungen","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Keine Beschreibung vorhanden","inbox.openThread":"Thread öffnen","inbox.rightPanel.emptySubtitle":"Arbeit automatisieren, indem du geplante Aufgaben einrichtest","inbox.rightPanel.emptySubtitle.learnMore":"Automatisiere deine Arbeit, indem du geplante Threads einrichtest.<link>Mehr erfahren</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktive Automatisierung} other {# aktive Automatisierungen}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Keine ungelesenen Automatisierungen","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ungelesene Automatisierung} other {# ungelesene Automatisierungen}}","inbox.rightPanel.emptyTitle":"Kein Element ausgewählt","inbox.rightPanel.noThread":"Kein Thread für dieses Element","inbox.rightPanel.quickStart.header":"Mit einer Vorlage starten","inbox.untitled":"Unbenanntes Posteingangselement","loadingPage.documentationLink":"Dokumentation","loadingPage.errorDescription":"Codex ist mit folgendem Fehler abgestürzt:","loadingPage.errorDescription.documentation":"Klicke auf „Neu laden“, um die Codex-Erweiterung neu zu starten, oder besuche unsere {documentationLink} für zusätzliche Hilfe.","loadingPage.errorSignal":"Einige Dinge, die du versuchen kannst:","loadingPage.errorTitle":"Ein Fehler ist aufgetreten","loadingPage.openConfigToml":"Open Config.toml","loadingPage.reload":"Neu laden","localConversation.contextCompacted":"Kontext automatisch komprimiert","localConversation.contextCompacting":"Kontext wird automatisch komprimiert","localConversation.forkedFromConversation":"Von {threadTitle} geforkt","localConversation.merge.autoResolve.failed":"Anfrage zur automatischen Behebung fehlgeschlagen: {error}","localConversation.merge.autoResolve.sent":"Anfrage zur automatischen Behebung gesendet","localConversation.merge.autoResolveMerge.missingConversation":"Automatische Behebung ohne aktives Gespräch nicht möglich.","localConversation.merge.autoResolveMerge.request":"Zusammenführungskonflikte automatisch beheben","localConversation.modelChanged":"Modellwechsel von {fromModel} zu {toModel}.","localConversation.modelChanged.warning.line1":"Durch einen Modellwechsel während des Gesprächs wird die Leistung beeinträchtigt.","localConversation.modelChanged.warning.line2":"Kontext wird möglicherweise automatisch komprimiert.","localConversation.moveThread.createBranch.label":"Branch erstellen","localConversation.moveToLocal.disabled.loading":"Wird geladen...","localConversation.moveToLocal.modal.continue":"Weiter","localConversation.moveToLocal.modal.destinationLabel":"Verschieben nach","localConversation.moveToLocal.modal.retry":"Erneut versuchen","localConversation.moveToWorktree.modal.back":"Zurück","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Datei ist bereits vorhanden.","localConversation.moveToWorktree.modal.branchesError":"Branches konnten nicht geladen werden","localConversation.moveToWorktree.modal.branchesLoading":"Branches werden geladen…","localConversation.moveToWorktree.modal.branchesRetry":"Erneut versuchen","localConversation.moveToWorktree.modal.continue":"Weiter","localConversation.moveToWorktree.modal.retry":"Erneut versuchen","localConversation.moveToWorktree.modal.trailingSlashError":"Der Branch-Name darf nicht mit „/“ enden.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"neuer-branch","localConversation.personalityChanged":"Zu Persönlichkeit „{personality}“ gewechselt","localConversation.planSummary.collapse":"Planübersicht reduzieren","localConversation.planSummary.collapseTooltip":"Reduzieren","localConversation.planSummary.download":"Plan herunterladen","localConversation.planSummary.expand":"Planübersicht ausklappen","localConversation.planSummary.expandTooltip":"Erweitern","localConversation.planSummary.openInNewWindow":"Öffnen","localConversation.planSummary.openInNewWindow.tooltip":"In neuem Fenster öffnen","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Schreibplan","localConversation.planSummary.viewPlan":"Plandetails anzeigen","localConversation.remoteTaskCreated":"{taskLink} in Codex Cloud erstellt","localConversation.remoteTaskCreated.task":"Aufgabe","localConversation.scrollToBottomButton":"Nach unten scrollen","localConversation.sync.buttonLabel":"An lokal übergeben","localConversation.sync.buttonLabel.tooltip":"Übertrage Änderungen zwischen diesem Worktree und deinem lokalen Checkout.","localConversation.sync.modal.loading.title":"Änderungen werden übergeben…","localConversation.sync.modal.noChanges":"Keine Änderungen","localConversation.syncSetup.branchAriaLabel":"Branch-Name","localConversation.syncSetup.branchName":"Branch-Name","localConversation.syncSetup.branchPlaceholder.existing":"Bestehenden Branch auswählen","localConversation.syncSetup.branchPlaceholder.new":"codex/neue-funktion","localConversation.syncSetup.branchesLoading":"Branches werden geladen…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Bereits ausgecheckt","localConversation.syncSetup.checkoutClean":"Aktuell in {branchName}","localConversation.syncSetup.checkoutDirty":"Derzeit auf {branchName} mit nicht committeten Änderungen","localConversation.syncSetup.checkoutError":"Branch konnte nicht ausgecheckt werden: {message}","localConversation.syncSetup.checkoutLabel":"Jetzt lokal auschecken","localConversation.syncSetup.checkoutOnLocal":"An lokal übergeben","localConversation.syncSetup.checkoutPending":"Lokaler Status wird geprüft…","localConversation.syncSetup.checkoutUnavailable":"Lokaler Workspace nicht verfügbar","localConversation.syncSetup.checkoutUnknown":"Lokaler Branch nicht verfügbar","localConversation.syncSetup.continue":"Weiter","localConversation.syncSetup.createBranchError":"Übergabe-Branch konnte nicht festgelegt werden: {message}","localConversation.syncSetup.error":"Etwas hat nicht geklappt: {message}","localConversation.syncSetup.error.workingTreeMissing":"Worktree-Snapshot konnte nicht erstellt werden. Bitte versuche die Übergabe erneut.","localConversation.syncSetup.mode.ariaLabel":"Branch-Modus auswählen","localConversation.syncSetup.mode.existing":"Bestehender Branch","localConversation.syncSetup.mode.new":"Neuer Branch","localConversation.syncSetup.noBranches":"Keine Branches gefunden","localConversation.syncSetup.overwriteError":"Der Branch wurde erstellt, aber nicht vollständig übergeben. Übergib ihn manuell, bevor du ihn lokal auscheckst.","localConversation.syncSetup.setPrefix":"Präfix festlegen","localConversation.syncSetup.subtitle":"Worktree-Änderungen lokal testen und bearbeiten. <a>Mehr erfahren</a>","localConversation.syncSetup.success.checkedOut":"Branch wurde erstellt und lokal ausgecheckt","localConversation.syncSetup.success.notCheckedOut":"Branch erstellt","localConversation.syncSetup.title":"An einen lokalen Branch übergeben","localConversation.syncWorktreeError.branchAriaLabel":"Branch-Name","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/neue-funktion","localConversation.syncWorktreeError.branchSetup.subtitle":"Wähle einen Branch für die Übergabe und lade die Änderungen erneut.","localConversation.syncWorktreeError.branchSetup.title":"Branch aktualisieren","localConversation.syncWorktreeError.branchUpdate.cta":"Aktualisieren und erneut versuchen","localConversation.syncWorktreeError.branchUpdate.error":"Branch konnte nicht aktualisiert werden: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Etwas hat nicht geklappt: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Der Branch ist in keinem Worktree ausgecheckt.","localConversation.syncWorktreeV2.applyUncommitted":"Übernehmen","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Du musst den Branch lokal auschecken, um nicht committete Änderungen anzuwenden.","localConversation.syncWorktreeV2.branches.empty":"Keine Branches gefunden","localConversation.syncWorktreeV2.branches.loading":"Branches werden geladen…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Übergabe-Branch ändern","localConversation.syncWorktreeV2.changeBranch.error":"Übergabe-Branch konnte nicht geändert werden: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Anwenden fehlgeschlagen","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Worktree konnte nicht überschrieben werden","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Lokale Version konnte nicht überschrieben werden","localConversation.syncWorktreeV2.commandError.back":"Zurück","localConversation.syncWorktreeV2.commandError.body":"Während der Übergabe ist ein Git-Befehl fehlgeschlagen. Überprüfe den Output und versuche es erneut.","localConversation.syncWorktreeV2.commandError.retry":"Erneut versuchen","localConversation.syncWorktreeV2.description":"Änderungen zwischen lokal und diesem Worktree übergeben. <a>Mehr erfahren</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Übergaberichtung auswählen","localConversation.syncWorktreeV2.error.generic":"Bei der Übergabe ist ein Fehler aufgetreten. Bitte versuche es erneut.","localConversation.syncWorktreeV2.localBranchLabel":"Lokal","localConversation.syncWorktreeV2.noChanges":"Änderungen werden berechnet","localConversation.syncWorktreeV2.noChanges.summary":"Keine Änderungen","localConversation.syncWorktreeV2.overwrite.local":"Lokale Version überschreiben","localConversation.syncWorktreeV2.overwrite.worktree":"Worktree überschreiben","localConversation.syncWorktreeV2.partial.action.applyFailed":"Änderungen konnten nicht angewendet werden.","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Lokale Änderungen konnten nicht überschrieben werden","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Worktree-Änderungen konnten nicht überschrieben werden","localConversation.syncWorktreeV2.partial.appliedLabel":"Angewendet","localConversation.syncWorktreeV2.partial.back":"Zurück","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Konflikte beheben und erneut versuchen.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikte","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# Datei} other {# Dateien}}","localConversation.syncWorktreeV2.partial.retry":"Erneut versuchen","localConversation.syncWorktreeV2.partial.skippedLabel":"Übersprungen","localConversation.syncWorktreeV2.stateFailed.generic":"Beim Laden der Worktree-Änderungen für die Übergabe ist ein Fehler aufgetreten. Bitte versuche es erneut.","localConversation.syncWorktreeV2.stateFailed.title":"Worktree-Änderungen konnten nicht geladen werden","localConversation.syncWorktreeV2.statusError.diffUnknown":"Worktree-Änderungen konnten nicht geladen werden.","localConversation.syncWorktreeV2.statusError.retry":"Erneut versuchen","localConversation.syncWorktreeV2.statusError.title":"Lokale Branch-Änderungen konnten nicht geladen werden","localConversation.syncWorktreeV2.statusError.unknown":"Der Branch-Status ist derzeit nicht verfügbar. Bitte versuche es erneut.","localConversation.syncWorktreeV2.success.apply":"Änderungen erfolgreich angewendet","localConversation.syncWorktreeV2.success.overwrite":"Übergabe erfolgreich","localConversation.syncWorktreeV2.title":"Änderungen übergeben","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Stellt {count, plural, one {Frage} other {Fragen}}","localConversation.userInputRequest.noAnswer":"Keine Antwort angegeben","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Stellte","localConversation.userInputRequest.summary.count":"{count, plural, one {# Frage} other {# Fragen}}","localConversation.workedFor":"{time} lang gearbeitet","localConversation.worktreeBranchSetup.action.create":"Erstellen","localConversation.worktreeBranchSetup.branchAriaLabel":"Branch-Name","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Neuen Branch erstellen","localConversation.worktreeBranchSetup.checkoutDisabled":"Dieser Branch ist bereits unter {location} ausgecheckt.","localConversation.worktreeBranchSetup.checkoutError":"Branch konnte nicht ausgecheckt werden: {message}","localConversation.worktreeBranchSetup.createBranchError":"Branch konnte nicht festgelegt werden: {message}","localConversation.worktreeBranchSetup.error":"Etwas hat nicht geklappt: {message}","localConversation.worktreeBranchSetup.subtitle":"Erstelle einen Branch, um Änderungen zu committen, zu pushen und aus diesem Worktree einen PR zu erstellen. <a>Mehr erfahren</a>","localConversation.worktreeBranchSetup.title":"Hier arbeiten","localConversationPage.addWorktreeToSidebar.tooltip":"Als Projekt speichern, um von diesem Worktree neue Threads zu starten","localConversationPage.addWorktreeToSidebarError":"Projekt konnte nicht hinzugefügt werden","localConversationPage.commitAndCreatePrModal.errorTitle":"Committen und PR erstellen fehlgeschlagen","localConversationPage.commitAndCreatePrModal.successTitle":"Commit durchgeführt und PR erstellt","localConversationPage.commitAndPushModal.errorTitle":"Committen und Pushen fehlgeschlagen","localConversationPage.commitAndPushModal.successTitle":"Commit durchgeführt und Änderungen gepusht","localConversationPage.commitCreatePr.open":"Pull Request öffnen","localConversationPage.commitCreatePr.successTitle":"PR mit deinen neuesten Änderungen erstellt","localConversationPage.createBranchButtonLabel":"Hier branchen","localConversationPage.createPrModal.baseBranch":"Basis","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR erstellen","localConversationPage.createPrModal.createDescription":"Öffnet einen Pull Request für deine neuesten Änderungen.","localConversationPage.createPrModal.errorTitle":"Pull Request fehlgeschlagen","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR öffnen","localConversationPage.createPrModal.successTitle":"Pull Request erstellt","localConversationPage.createPrModal.title":"Pull Request erstellen","localConversationPage.createPrModal.viewDescription":"Für diesen Branch existiert bereits ein Pull Request.","localConversationPage.createPrModal.viewTitle":"Pull Request bereit","localConversationPage.createPullRequestAuthGh":"GitHub CLI authentifizieren: gh auth login ausführen","localConversationPage.createPullRequestBranchMissing":"Branch-Infos nicht verfügbar","localConversationPage.createPullRequestButtonLabel":"PR erstellen","localConversationPage.createPullRequestButtonLabel.loading":"PR wird erstellt...","localConversationPage.createPullRequestDefaultBranchMissing":"Infos zum Standard-Branch nicht verfügbar","localConversationPage.createPullRequestError":"Pull Request konnte nicht erstellt werden.","localConversationPage.createPullRequestExistingPullRequest":"Für diesen Branch existiert bereits ein Pull Request.","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI-Status wird geladen…","localConversationPage.createPullRequestInstallGh":"Installiere GitHub CLI (gh), um PRs zu erstellen","localConversationPage.createPullRequestNoRepo":"Kein Git-Repository gefunden","localConversationPage.createPullRequestPushStatusMissing":"Push-Status wird geladen...","localConversationPage.createPullRequestSetUpstream":"Diesen Branch pushen, bevor du einen PR erstellst","localConversationPage.createPullRequestSuccessToast":"Pull Request erstellt","localConversationPage.createPullRequestSwitchBranch":"Feature-Branch auschecken, bevor du einen PR erstellst","localConversationPage.error.render":"Fehler beim Rendern des lokalen Gesprächs","localConversationPage.error.toast":"Gespräch nicht gefunden","localConversationPage.forcePushError":"Force-Push fehlgeschlagen","localConversationPage.generatePullRequestMessageError":"Titel und Beschreibung für den Pull Request konnten nicht generiert werden.","localConversationPage.generatePullRequestMessageFailed":"Titel und Beschreibung für den Pull Request konnten nicht generiert werden.","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Abbrechen","localConversationPage.gitActionResult.close":"Schließen","localConversationPage.gitActionResult.tryAgain":"Erneut versuchen","localConversationPage.gitActions":"Git-Aktionen","localConversationPage.newChat":"Neuer Chat","localConversationPage.openInTarget":"Öffnen in","localConversationPage.openPrimaryTarget":"Öffnen","localConversationPage.planItemsCompleted":"{completedItems} von {totalItems, plural, one {# Aufgabe abgeschlossen} other {# Aufgaben abgeschlossen}}","localConversationPage.pushAuthError":"Push fehlgeschlagen: Authentifizierung erforderlich","localConversationPage.pushBranchMissing":"Branch-Infos nicht verfügbar","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Pushing...","localConversationPage.pushError":"Änderungen konnten nicht gepusht werden","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Abbrechen","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Pushe deine neuesten Commits ins Remote-Repository.","localConversationPage.pushModal.errorTitle":"Push fehlgeschlagen","localConversationPage.pushModal.forcePush":"Force-Push","localConversationPage.pushModal.successTitle":"Push abgeschlossen","localConversationPage.pushModal.title":"Änderungen pushen","localConversationPage.pushModal.tryAgain":"Erneut versuchen","localConversationPage.pushNoUpstream":"Upstream festlegen, bevor du diesen Branch pushst","localConversationPage.pushNoUpstreamError":"Push fehlgeschlagen: kein Upstream konfiguriert","localConversationPage.pushNothingToPush":"Keine neuen Commits zum Pushen","localConversationPage.pushRemoteChangedError":"Push fehlgeschlagen: Remote hat neue Commits","localConversationPage.pushRemoteRejectedError":"Push vom Remote abgelehnt","localConversationPage.pushStatusMissing":"Push-Status wird geladen...","localConversationPage.pushSuccessToast":"Gepushte Änderungen","localConversationPage.viewPullRequestButtonLabel":"PR anzeigen","localConversationPage.viewPullRequestButtonLabel.loading":"Pull Request wird geladen…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# Datei} other {# Dateien}}</countText> verliert","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# Liste} other {# Listen}}</countText> verliert","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# Suche} other {# Suchen}}</countText> verliert","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Erkunden","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Erkundet","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} durchsucht","localConversationTurnStory.showContent":"Inhalt anzeigen","localConversationTurnStory.streamContent":"Inhalt streamen","localConversationTurnStory.toggleReasoning":"Reasoning anzeigen","localTaskRow.archiveError":"Gespräch konnte nicht archiviert werden","localTaskRow.resumeError":"Aufgabe konnte nicht fortgesetzt werden","mermaidDiagram.ariaLabel":"Mermaid-Diagramm","mermaidDiagram.copySource":"Mermaid kopieren","mermaidDiagram.originalCode":"Mermaid-Quellcode","notifications.permissions.description":"Warnungen anzeigen, wenn Benachrichtigungsberechtigungen erforderlich sind","notifications.permissions.label":"Berechtigungsbenachrichtigungen aktivieren","notifications.turnMode.always":"Immer","notifications.turnMode.description":"Festlegen, wann Codex dich über den Abschluss informiert","notifications.turnMode.label":"Benachrichtigungen bei Fertigstellung aktivieren","notifications.turnMode.off":"Nie","notifications.turnMode.unfocused":"Nur wenn nicht fokussiert","patchApprovalRequest.approve":"Genehmigen","patchApprovalRequest.menu.allowAlways":"Ja, und in dieser Sitzung nicht erneut fragen.","patchApprovalRequest.menu.allowForSession":"Ja, und in dieser Sitzung nicht erneut fragen.","patchApprovalRequest.menu.allowOnce":"Ja","patchApprovalRequest.prompt":"Willst du diese Änderungen vornehmen?","patchApprovalRequest.reject":"Nein","patchApprovalRequest.waitingForApproval":"Warte auf Genehmigung zum Bearbeiten von Dateien","pendingRequest.approvalExec.collapse":"Reduzieren","pendingRequest.approvalExec.expand":"Erweitern","pendingRequestStory.toastAnswer":"Antwort: {answer}","pendingRequestStory.toastApprovalTitle":"Genehmigungsantwort","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Rückfrage gesendet","pendingRequestStory.toastNoAnswers":"Keine Antworten angegeben","pendingRequestStory.toastQuestion":"Frage: {question}","pendingRequestStory.toastUnknownDecision":"Unbekannt","pendingRequestStory.toastUserInputTitle":"Abgesendete Antworten","quickAction.request.codeReview.branches.new":"Bitte überprüfe die Änderungen an {from} im Vergleich zu {to}","quickAction.request.codeReview.uncommitted.new":"Bitte überprüfe meine nicht übernommenen Änderungen","reasoningItem.thinking":"Denke nach","reasoningItem.thought":"Denkvorgang abgeschlossen","reasoningItem.thoughtWithElapsed":"Nachgedacht für {elapsed}","recentConversations.title":"Letzte Gespräche","recentTasks.worktreeInitFailedTitle":"Worktree-Initialisierung fehlgeschlagen","recentTasks.worktreeSettingUpTitle":"Worktree wird eingerichtet","requestInputPanel.continue":"Weiter","requestInputPanel.dismiss":"Verwerfen","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Hier eingeben","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nein, und sag Codex, was anders gemacht werden soll.","requestInputPanel.selectedBadge":"Ausgewählt","requestInputPanel.skip":"Überspringen","requestInputPanel.submit":"Absenden","review.commit.ariaLabel.includeUnstaged":"Nicht gestagete Änderungen einbeziehen","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Wird committet…","review.commit.disabled.loadingDiff":"Diff wird geladen...","review.commit.disabled.missingContext":"Füge etwas Kontext hinzu, um eine Commit-Nachricht zu generieren.","review.commit.disabled.noChanges":"Keine Änderungen zum Committen","review.commit.disabled.noSelection":"Änderungen zum Committen auswählen","review.commit.disabled.unavailable":"Commit ist derzeit nicht verfügbar","review.commit.error":"Commit der Änderungen fehlgeschlagen","review.commit.form.changesToBeCommitted":"Änderungen","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Weiter","review.commit.form.title":"Änderungen committen","review.commit.generate.emptyResponse":"Commit-Nachricht konnte nicht generiert werden.","review.commit.generate.failed":"Fehler beim Generieren der Commit-Nachricht: {error}","review.commit.generate.missingPrompt":"Füge etwas Kontext hinzu, um eine Commit-Nachricht zu generieren.","review.commit.includeUnstaged":"Nicht gestagete Änderungen einbeziehen","review.commit.loading.description":"Einen Moment bitte, das kann ein paar Augenblicke dauern...","review.commit.loading.step.commit.done":"Änderungen","review.commit.loading.step.commit.pending":"Änderungen werden committet...","review.commit.loading.step.createPr.done":"Pull Request erstellt","review.commit.loading.step.createPr.pending":"Pull Request wird erstellt…","review.commit.loading.step.push.done":"Auf Branch {branch} gepusht","review.commit.loading.step.push.pending":"Wird auf Branch {branch} gepusht...","review.commit.loading.title.commit":"Änderungen werden committet...","review.commit.loading.title.createPr":"PR wird erstellt...","review.commit.loading.title.push":"Änderungen werden gepusht...","review.commit.messageLabel":"Commit-Nachricht","review.commit.messagePlaceholder":"Leer lassen, um automatisch eine Commit-Nachricht zu erstellen","review.commit.nextSteps":"Nächste Schritte","review.commit.nextSteps.commit":"Committen","review.commit.nextSteps.commitAndCreate":"Committen und PR erstellen","review.commit.nextSteps.commitAndPush":"Committen und pushen","review.commit.nextSteps.prRequiresGh":"Benötigt GitHub CLI: {command}","review.commit.rows.changes":"Änderungen","review.commit.rows.commitCount":"{count, plural, one {# Commit} other {# Commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# Commit} other {# Commits}} und {stats}","review.commit.rows.fileCount":"{count, plural, one {# Datei} other {# Dateien}}","review.commit.state.error.body":"Beim Committen ist etwas schiefgelaufen. Überprüfe deinen Git-Status und versuche es erneut.","review.commit.state.error.title":"Commit fehlgeschlagen","review.commit.state.success.title":"Änderungen committet","review.commit.untracked.loadingStats":"Nicht verfolgte Diff-Statistiken werden geladen…","reviewFindingAttachments.count":"{count, plural, one {# Ergebnis} other {# Ergebnisse}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Bearbeite deine Konfiguration, um das Verhalten des Agenten anzupassen","settings.agent.configuration.configToml.docs":"Dokumente","settings.agent.configuration.configToml.restartNote":"Starte Codex nach der Bearbeitung neu, um Änderungen zu übernehmen.","settings.agent.configuration.subtitle":"Diese Einstellungen gelten überall, wo Codex verwendet wird.","settings.automations.banner.danger":"Automatisierungen werden mit deinen aktuellen Standard-Sandbox-Einstellungen ausgeführt. Diese sind auf Vollzugriff gesetzt. Hintergrund-Automatisierungen mit Vollzugriff bergen jedoch ein erhöhtes Risiko, da Codex ohne Nachfrage Dateien ändern, Befehle ausführen und auf das Netzwerk zugreifen kann. Daher solltest du die Sandbox-Einstellungen im Workspace auf Schreibzugriff ändern und über <rulesDocsLink>Regeln</rulesDocsLink> gezielt festlegen, welche Befehle der Agent mit Vollzugriff ausführen darf.","settings.automations.banner.defaultHowTo.default":"Automatisierungen werden mit deinen Standard-Sandbox-Einstellungen ausgeführt. Tool-Aufrufe schlagen fehl, wenn sie Änderungen außerhalb des Workspaces erfordern, auf das Netzwerk zugreifen oder mit Apps auf deinem Computer arbeiten müssen. Über <rulesDocsLink>Regeln</rulesDocsLink> kannst du ausgewählte Befehle gezielt für die Ausführung außerhalb der Sandbox freigeben.","settings.automations.banner.defaultHowTo.readOnly":"Automatisierungen werden mit deinen Standard-Sandbox-Einstellungen ausgeführt, die auf „schreibgeschützt“ gesetzt sind. Tool-Aufrufe schlagen fehl, wenn sie Dateien ändern, auf das Netzwerk zugreifen oder mit Apps auf deinem Computer arbeiten müssen. Erwäge deshalb, die Sandbox-Einstellungen im Workspace auf Schreibzugriff zu ändern.","settings.automations.cancel":"Abbrechen","settings.automations.create":"Erstellen","settings.automations.cwdEmpty":"Keine Projektordner verfügbar","settings.automations.cwdLabel":"Projekte","settings.automations.cwdPlaceholder":"Ordner auswählen","settings.automations.cwdSubtitle":"Wenn eine Automatisierung auf einem bestimmten Branch laufen soll, kannst du das im Prompt angeben.","settings.automations.delete":"Löschen","settings.automations.dialog.editTitle":"Automatisierung bearbeiten","settings.automations.dialog.newTitle":"Neue Automatisierung","settings.automations.dialog.subtitle":"Automatisiere wiederkehrende Aufgaben im Hintergrund. Codex fügt die Ergebnisse dem Posteingang hinzu oder archiviert die Aufgabe automatisch, wenn es nichts zu berichten gibt. <learnMoreLink>Mehr erfahren</learnMoreLink>","settings.automations.dialog.title":"Automatisierung erstellen","settings.automations.executionCopy.git":"Automatisierungen laufen im Hintergrund auf dedizierten Worktrees.","settings.automations.executionCopy.nonGit":"Automatisierungen in Projekten ohne Versionskontrolle laufen direkt im Projektverzeichnis. Erwäge die Verwendung von Git, um die Ausführung auf Hintergrund-Worktrees zu ermöglichen.","settings.automations.executionEnvironment.local":"Lokal","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Wird geladen...","settings.automations.nameLabel":"Name","settings.automations.namePlaceholder":"Nach Sentry-Problemen suchen","settings.automations.pause":"Anhalten","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"Nach Abstürzen in $Sentry suchen","settings.automations.resume":"Fortsetzen","settings.automations.rruleSummaryFallback":"Individueller Zeitplan","settings.automations.runNow":"Test","settings.automations.save":"Speichern","settings.automations.scheduleBadge.dayCount":"{count} Tag(e)","settings.automations.scheduleBadge.interval":"{count} Std.","settings.automations.scheduleBadge.weekdays":"Wochentage","settings.automations.scheduleBadge.weekends":"Wochenenden","settings.automations.scheduleHeader":"Zeitplan","settings.automations.scheduleHours":"Stunden","settings.automations.scheduleLabel":"Ausführen alle","settings.automations.scheduleMode.daily":"Täglich","settings.automations.scheduleMode.interval":"Intervall","settings.automations.scheduleModeLabel":"Zeitplantyp","settings.automations.scheduleSummary.daily":"Täglich um {time}","settings.automations.scheduleSummary.interval":"Alle {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# Tag} other {# Tage}}","settings.automations.scheduleSummary.intervalDays":"{interval} an {days}","settings.automations.scheduleSummary.intervalHourly":"Stündlich","settings.automations.scheduleSummary.singleDay":"{day} um {time}","settings.automations.scheduleSummary.weekdays":"Wochentags um {time}","settings.automations.scheduleSummary.weekdaysLabel":"Wochentage","settings.automations.scheduleSummary.weekends":"An Wochenenden um {time}","settings.automations.scheduleSummary.weekendsLabel":"Wochenende","settings.automations.scheduleSummary.weekly":"{days} um {time}","settings.automations.scheduleWeekdays":"Ein","settings.automations.weekdayState.excluded":"Ausgeschlossen","settings.automations.weekdayState.included":"Eingeschlossen","settings.conversationDetail.steps":"Schritte","settings.conversationDetail.steps.description":"Befehle und Output ausblenden","settings.conversationDetail.stepsWithCommands":"Schritte mit Code-Befehlen","settings.conversationDetail.stepsWithCommands.description":"Befehle anzeigen, Output reduzieren","settings.conversationDetail.stepsWithOutput":"Schritte mit Code-Output","settings.conversationDetail.stepsWithOutput.description":"Befehle anzeigen, Output ausklappen","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Keine archivierten Chats.","settings.dataControls.archivedChats.error":"Es konnten keine archivierten Chats geladen werden.","settings.dataControls.archivedChats.loading":"Archivierte Chats werden geladen...","settings.dataControls.archivedChats.unarchive":"Dearchivieren","settings.dataControls.archivedChats.unarchiveError":"Chat konnte nicht dearchiviert werden.","settings.dataControls.archivedChats.unarchiveSuccess":"Thread dearchivieren. <viewNowLink>Jetzt anzeigen</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Dearchivierter Thread.","settings.dataControls.archivedChats.untitled":"Unbenannter Chat","settings.dataControls.archivedChats.viewNow":"Jetzt anzeigen","settings.editRow.headerPlaceholder":"Schlüssel","settings.editRow.removeEntry":"Eintrag entfernen","settings.editRow.valuePlaceholder":"Wert","settings.general.appearance":"Aussehen","settings.general.appearance.codeFont":"Code-Schriftart","settings.general.appearance.codeFont.description":"Passe Schriftart und -größe für Code in Chats und Diffs an.","settings.general.appearance.codeFontFamily":"Code-Schriftart","settings.general.appearance.codeFontSize":"Code-Schriftgröße","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Fenster mit solidem Hintergrund statt System-Transparenz verwenden","settings.general.appearance.opaqueWindows.label":"Undurchsichtigen Fensterhintergrund verwenden","settings.general.appearance.sansFontFamily":"Schriftfamilie Sans-Serif","settings.general.appearance.sansFontFamily.description":"Ändere die Schriftart für die Codex-UI.","settings.general.appearance.sansFontSize":"Sans-Schriftgröße","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Zeige ein Vollbild mit Showeffekten während des ersten Durchlaufs von GPT-5.3-Codex-Spark.","settings.general.appearance.sparkCelebrationEffects.label":"Spark-Showeffekte","settings.general.appearance.theme":"Motiv","settings.general.appearance.theme.dark":"Dunkel","settings.general.appearance.theme.description":"Hell, dunkel oder an dein System anpassen","settings.general.appearance.theme.light":"Hell","settings.general.appearance.theme.system":"System","settings.general.appearance.usePointerCursors.description":"Cursor beim Überfahren interaktiver Elemente in einen Zeiger ändern","settings.general.appearance.usePointerCursors.label":"Zeiger-Cursor verwenden","settings.general.enterBehavior.description":"Wenn aktiviert, müssen mehrzeilige Prompts mit {modifierSymbol} + Eingabtaste gesendet werden.","settings.general.enterBehavior.label":"{modifierSymbol} + Eingabtaste zum Senden langer Prompts","settings.general.experimentalFeatures":"Experimentelle Funktionen (Beta)","settings.general.experimentalFeatures.empty":"Keine Beta-Funktionen verfügbar.","settings.general.experimentalFeatures.loading":"Experimentelle Funktionen werden geladen…","settings.general.experimentalFeatures.restartNote":"Starte Codex neu, um Änderungen an experimentellen Funktionen zu übernehmen.","settings.general.experimentalFeatures.toggle":"{featureName} umschalten","settings.general.followUpQueueMode.description":"Reihe Folgebefehle in die Warteschlange ein, während Codex läuft, oder steuere den aktuellen Run. Drücke {invertFollowUpShortcutLabel}, um für eine Nachricht das Gegenteil zu tun.","settings.general.followUpQueueMode.interrupt":"Steuern","settings.general.followUpQueueMode.label":"Verhalten für Folgeaufforderungen","settings.general.followUpQueueMode.queue":"Warteschlange","settings.general.notifications":"Benachrichtigungen","settings.general.power.preventSleepWhileRunning.description":"Halte deinen Computer aktiv, während Codex einen Thread ausführt.","settings.general.power.preventSleepWhileRunning.label":"Ruhezustand während der Ausführung verhindern","settings.git.branchPrefix.ariaLabel":"Branch-Präfix","settings.git.branchPrefix.description":"Präfix, das beim Erstellen neuer Branches in Codex verwendet wird","settings.git.branchPrefix.label":"Branch-Präfix","settings.git.branchPrefix.placeholder":"Codex/","settings.git.branchPrefix.save.error":"Branch-Präfix konnte nicht gespeichert werden","settings.git.branchPrefix.save.success":"Branch-Präfix gespeichert","settings.git.commitInstructions.ariaLabel":"Commit-Anweisungen","settings.git.commitInstructions.description":"Zu den Prompts für die Commit-Nachricht hinzugefügt","settings.git.commitInstructions.label":"Commit-Anweisungen","settings.git.commitInstructions.placeholder":"Hinweise für Commit-Nachrichten hinzufügen…","settings.git.commitInstructions.save":"Speichern","settings.git.commitInstructions.save.error":"Commit-Anweisungen konnten nicht gespeichert werden.","settings.git.commitInstructions.save.success":"Commit-Anweisungen gespeichert","settings.git.forcePush.ariaLabel":"Force-Push immer verwenden","settings.git.forcePush.description":"Beim Pushen aus Codex immer --force-with-lease verwenden","settings.git.forcePush.label":"Force-Push immer verwenden","settings.git.forcePush.save.disabled":"Force-Push immer deaktiviert","settings.git.forcePush.save.enabled":"Force-Push immer aktiviert","settings.git.forcePush.save.error":"Force-Push-Einstellung konnte nicht gespeichert werden","settings.git.prInstructions.ariaLabel":"Pull-Request-Anweisungen","settings.git.prInstructions.description":"Wird an die von Codex erstellten Pull-Request-Beschreibungen angehängt","settings.git.prInstructions.label":"Pull-Request-Anweisungen","settings.git.prInstructions.placeholder":"Hinweise für Pull Requests hinzufügen…","settings.git.prInstructions.save":"Speichern","settings.git.prInstructions.save.error":"Pull-Request-Anweisungen konnten nicht gespeichert werden.","settings.git.prInstructions.save.success":"Pull-Request-Anweisungen gespeichert","settings.ide.defaultOpenTarget.description":"Wo Dateien und Ordner standardmäßig geöffnet werden","settings.ide.defaultOpenTarget.label":"Standard-Öffnungsziel","settings.ide.defaultOpenTarget.placeholder":"Keine Ziele gefunden","settings.ide.language.auto":"Automatisch erkennen","settings.ide.language.autoOption":"Automatisch erkennen","settings.ide.language.description":"Sprache der App-Oberfläche","settings.ide.language.label":"Sprache","settings.ide.language.search":"Sprachen suchen","settings.layout.actionButton":"Erweiterung neu starten","settings.layout.actionTitle":"Einstellungen mit Aktion","settings.layout.fullWidthTitle":"Einstellungen (volle Breite)","settings.layout.title":"Einstellungen","settings.localEnvironments.actions.add":"Aktion hinzufügen","settings.localEnvironments.actions.add.description":"Neuen Befehl erstellen, der über die Toolbar ausgeführt wird.","settings.localEnvironments.actions.add.save":"Speichern","settings.localEnvironments.actions.empty":"Füge eine Aktion hinzu, um Befehle aus der lokalen Symbolleiste auszuführen.","settings.localEnvironments.actions.icon.debug":"Debugging","settings.localEnvironments.actions.icon.run":"Ausgeführt","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Tool","settings.localEnvironments.actions.item.button.delete":"Löschen","settings.localEnvironments.actions.item.command":"Aktionsskript","settings.localEnvironments.actions.item.name":"Name","settings.localEnvironments.actions.item.platforms":"Plattformen","settings.localEnvironments.actions.item.platforms.help":"Werden nur auf einem bestimmten Betriebssystem ausgeführt.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Plattformauswahl","settings.localEnvironments.actions.item.platforms.specific":"Plattformspezifisch","settings.localEnvironments.actions.item.platforms.windows":"Windows-Taste","settings.localEnvironments.actions.item.tooltip.delete":"Löschen","settings.localEnvironments.actions.title":"Aktionen","settings.localEnvironments.breadcrumb.back":"Zurück","settings.localEnvironments.breadcrumb.edit":"Bearbeiten","settings.localEnvironments.breadcrumb.root":"Umgebungen","settings.localEnvironments.environment.actions.description":"Diese Aktionen können beliebige Befehle ausführen und werden in der Kopfzeile angezeigt.","settings.localEnvironments.environment.actionsLabel":"Aktionen","settings.localEnvironments.environment.create":"Lokale Umgebung erstellen","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"Lokale Umgebung bearbeiten","settings.localEnvironments.environment.empty":"Für dieses Projekt ist noch keine lokale Umgebung konfiguriert.","settings.localEnvironments.environment.name":"Name","settings.localEnvironments.environment.setup":"Setup-Skript","settings.localEnvironments.environment.setup.description":"Dieses Skript wird bei der Erstellung des Worktrees ausgeführt.","settings.localEnvironments.environment.setup.hint":"Wird im Projekt-Root ausgeführt.","settings.localEnvironments.environment.setup.platformOverrides":"Plattformüberschreibungen","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform}-Einrichtungsskript hinzufügen","settings.localEnvironments.environment.setup.platformOverrides.description":"Überschreibt das Standardskript für bestimmte Betriebssysteme.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Entfernen","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Umgebungsdetails","settings.localEnvironments.file.missing":"Speichere die Datei, um sie erstmalig zu erstellen.","settings.localEnvironments.file.parseError":"Vorhandene Datei kann nicht geparst werden. Beim Speichern wird sie überschrieben. ({error})","settings.localEnvironments.file.path":"Datei: {path}","settings.localEnvironments.file.readError":"Lokale Umgebungsdaten konnten nicht geladen werden. ({error})","settings.localEnvironments.file.title":"Lokale Umgebungsdatei","settings.localEnvironments.loading.body":"Projektkonfiguration wird abgerufen.","settings.localEnvironments.loading.title":"Lokale Umgebungen werden geladen","settings.localEnvironments.preview.devOnly":"(nur DEV)","settings.localEnvironments.preview.save":"Speichern","settings.localEnvironments.preview.saveError":"Datei konnte nicht gespeichert werden. ({error})","settings.localEnvironments.preview.title":"Vorschau","settings.localEnvironments.save.disabled.name":"Zum Speichern Umgebungsnamen eingeben","settings.localEnvironments.save.disabled.noChanges":"Es gibt keine Änderungen zum Speichern.","settings.localEnvironments.save.disabled.saving":"Wird gespeichert…","settings.localEnvironments.save.success":"Lokale Umgebung gespeichert","settings.localEnvironments.unavailable.body":"Die lokalen Umgebungseinstellungen für dieses Projekt konnten nicht geladen werden.","settings.localEnvironments.unavailable.title":"Lokale Umgebungen nicht verfügbar","settings.localEnvironments.workspace.add":"Projekt hinzufügen","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Umgebung hinzufügen","settings.localEnvironments.workspaceSelect.description":"Lokale Umgebungen bestimmen, wie die Worktrees in Codex für ein Projekt eingerichtet werden sollen. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Noch keine Projekte. Füge eines hinzu, um lokale Umgebungen zu konfigurieren.","settings.localEnvironments.workspaceSelect.errorLabel":"Umgebung erfordert Aufmerksamkeit","settings.localEnvironments.workspaceSelect.learnMore":"Mehr erfahren","settings.localEnvironments.workspaceSelect.listLabel":"Verfügbare Projekte","settings.localEnvironments.workspaceSelect.loading":"Projekte werden geladen.","settings.localEnvironments.workspaceSelect.loadingLabel":"Umgebung wird geladen","settings.localEnvironments.workspaceSelect.title":"Projekt auswählen","settings.localEnvironments.workspaceSelect.viewAction":"Anzeigen","settings.mcp.addServer":"Server hinzufügen","settings.mcp.app.configure":"Konfigurieren","settings.mcp.app.connect":"Verbinden","settings.mcp.apps.refresh":"Aktualisieren","settings.mcp.detail.addArgument":"Argument hinzufügen","settings.mcp.detail.addEnvVar":"Umgebungsvariable hinzufügen","settings.mcp.detail.addEnvVarPassthrough":"Variable hinzufügen","settings.mcp.detail.args":"Argumente","settings.mcp.detail.back":"Zurück","settings.mcp.detail.command":"Befehl zum Starten","settings.mcp.detail.cwd":"Arbeitsverzeichnis","settings.mcp.detail.docs":"MCP-Dokumentation öffnen","settings.mcp.detail.docs.link":"Dokumente","settings.mcp.detail.envVarPassthrough":"Durchreichen von Umgebungsvariablen","settings.mcp.detail.envVars":"Umgebungsvariablen","settings.mcp.detail.http.addEnvHeader":"Variable hinzufügen","settings.mcp.detail.http.addHeader":"Header hinzufügen","settings.mcp.detail.http.bearerToken":"Bearer-Token-Umgebungsvariable","settings.mcp.detail.http.envHeaders":"Header aus Umgebungsvariablen","settings.mcp.detail.http.headers":"Header","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Name","settings.mcp.detail.save":"Speichern","settings.mcp.detail.switchTransportNotice":"Wenn du den MCP-Server-Typ wechseln möchtest, deinstalliere ihn bitte zuerst.","settings.mcp.detail.titleExisting":"{name} MCP aktualisieren","settings.mcp.detail.titleNew":"Verbinde dich mit einem benutzerdefinierten MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Deinstallieren","settings.mcp.empty":"Keine individuellen MCP-Server verbunden","settings.mcp.myServers":"Individuelle Server","settings.mcp.partnerServer.description.figma":"Erstelle besseren Code, indem du den vollständigen Figma-Kontext einbindest","settings.mcp.partnerServer.description.github":"Integriere GitHub-APIs, um Arbeitsabläufe zu automatisieren und Daten zu extrahieren","settings.mcp.partnerServer.description.linear":"Integriere Linears Problemverfolgung und Projektmanagement.","settings.mcp.partnerServer.description.notion":"Lies die Dokumentation, aktualisiere Seiten und manage Aufgaben.","settings.mcp.partnerServer.description.playwright":"Integriere Browser-Automation, um Design und UI zu implementieren und zu testen.","settings.mcp.partnerServer.install":"Installieren","settings.mcp.partnerServer.installAndAuthenticate":"Installieren und authentifizieren","settings.mcp.partnerServer.logoAlt":"{label}-Logo","settings.mcp.partnerServer.manage":"Verwalten","settings.mcp.partnerServer.vendor":"von {vendor}","settings.mcp.recommendedServers":"Empfohlene Server","settings.mcp.restartApp":"Neu starten","settings.mcp.restartExtension":"Erweiterung neu starten","settings.mcp.server.enable":"Aktivieren","settings.mcp.server.login":"Authentifizieren","settings.mcp.server.settings":"Einstellungen","settings.multiselect.createOption":"„{value}“ erstellen","settings.multiselect.removeOption":"Entfernen","settings.nav.account":"Konto","settings.nav.agent":"Konfiguration","settings.nav.ariaLabel":"Einstellungen","settings.nav.back":"Zurück zur App","settings.nav.data-controls":"Archivierte Threads","settings.nav.environments":"Cloud-Umgebungen","settings.nav.externalTooltip":"[Alpha] Wird im Browser geöffnet","settings.nav.general-settings":"Allgemein","settings.nav.git-settings":"Git","settings.nav.local-environments":"Umgebungen","settings.nav.mcp-settings":"MCP Server","settings.nav.notImplemented":"[Alpha] In Alpha nicht verfügbar","settings.nav.personalization":"Personalisierung","settings.nav.skills-settings":"Fähigkeiten","settings.nav.usage-analytics":"Nutzung und Analyse","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Zurück","settings.openSourceLicenses.loading":"Wird geladen...","settings.openSourceLicenses.missing":"Keine Hinweise Dritter gefunden","settings.openSourceLicenses.notSupported":"Auf diesem Host nicht verfügbar","settings.openSourceLicenses.rowDescription":"Hinweise Dritter für gebündelte Abhängigkeiten","settings.openSourceLicenses.rowLabel":"Open-Source-Lizenzen","settings.openSourceLicenses.subtitle":"Hinweise Dritter für Abhängigkeiten in dieser App","settings.openSourceLicenses.title":"Open-Source-Lizenzen","settings.openSourceLicenses.view":"Anzeigen","settings.personalization.agents.description":"Anweisungen bearbeiten, die Codex auf dich zuschneiden. {learnMore}","settings.personalization.agents.learnMore":"Mehr erfahren","settings.personalization.agents.loadError":"agents.md konnte nicht geladen werden.","settings.personalization.agents.loading":"agents.md wird geladen...","settings.personalization.agents.placeholder":"Eigene benutzerdefinierte Anweisungen hinzufügen...","settings.personalization.agents.retry":"Erneut versuchen","settings.personalization.agents.save":"Speichern","settings.personalization.agents.save.error":"agents.md konnte nicht gespeichert werden","settings.personalization.agents.save.success":"agents.md gespeichert","settings.personalization.agents.title":"Individuelle Anweisungen","settings.personalization.personality.description":"Standard-Ton für Codex-Antworten auswählen","settings.personalization.personality.label":"Persönlichkeit","settings.sample.contentBody":"Verwende dieses Layout, um deine Einstellungsbereiche mit einheitlichen Abständen zu gestalten.","settings.sample.contentTitle":"Beispielinhalt-Block","settings.section.account":"Konto","settings.section.agent":"Konfiguration","settings.section.data-controls":"Archivierte Threads","settings.section.environments":"Cloud-Umgebungen","settings.section.external":"Öffnet sich während Alpha in deinem Browser","settings.section.general-settings":"Allgemein","settings.section.git-settings":"Git","settings.section.local-environments":"Umgebungen","settings.section.mcp-settings":"MCP Server","settings.section.mcp-settings.docs":"Dokumente","settings.section.mcp-settings.subtitle":"Verbinde externe Tools und Datenquellen.","settings.section.personalization":"Personalisierung","settings.section.skills-settings":"Fähigkeiten","settings.section.unavailable":"Noch nicht in Alpha verfügbar","settings.section.usage-analytics":"Nutzung und Analyse","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"Wähle aus, wie viel Befehlsoutput in Threads angezeigt wird.","settings.threadDetail.label":"Thread-Details","settings.worktrees.conversation.untitled":"Unbenanntes Gespräch","settings.worktrees.delete.error":"Worktree konnte nicht gelöscht werden","settings.worktrees.empty.body":"Von Codex erstellte Worktrees werden hier angezeigt.","settings.worktrees.empty.title":"Noch keine Worktrees","settings.worktrees.error.body":"Beim Laden der Worktrees ist etwas schiefgegangen.","settings.worktrees.error.retry":"Erneut versuchen","settings.worktrees.error.title":"Worktrees konnten nicht geladen werden","settings.worktrees.loading.body":"Worktree-Details werden abgerufen.","settings.worktrees.loading.title":"Worktrees werden geladen","settings.worktrees.repository.loading":"Repository-Metadaten werden geladen…","settings.worktrees.repository.unknown":"Unbekanntes Repository","settings.worktrees.row.conversations":"Gespräche","settings.worktrees.row.conversations.empty":"Mit diesem Worktree sind keine Gespräche verknüpft.","settings.worktrees.row.conversations.loading":"Gespräche werden geladen…","settings.worktrees.row.delete":"Löschen","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Neues Projekt hinzufügen","sidebarElectron.archiveThread":"Thread archivieren","sidebarElectron.archiveThreadError":"Archivieren des Threads fehlgeschlagen","sidebarElectron.collapseFolder":"Ordner einklappen","sidebarElectron.createStableWorktree.dialog.cancel":"Abbrechen","sidebarElectron.createStableWorktree.dialog.create":"Erstellen","sidebarElectron.debugNavLink":"Debugging","sidebarElectron.editWorkspaceRootOptionName":"Namen bearbeiten","sidebarElectron.expandFolder":"Ordner ausklappen","sidebarElectron.groupByMenu.recency":"Chronologische Liste","sidebarElectron.groupByMenu.title":"Organisieren","sidebarElectron.groupByMenu.workspace":"Nach Projekt","sidebarElectron.inboxRouteNavLink":"Automatisierungen","sidebarElectron.markThreadUnread":"Als ungelesen markieren","sidebarElectron.missingWorkspaceRoot":"Dieser Projektordner wurde gelöscht oder verschoben.","sidebarElectron.newThread":"Neuer Thread","sidebarElectron.newThreadInGroup":"Neuen Thread in {folder} beginnen","sidebarElectron.noRecentThreads":"Keine aktuellen Threads","sidebarElectron.noTasks":"Keine Threads","sidebarElectron.noTasks.start":"Neues Projekt hinzufügen","sidebarElectron.noTasksWithFilter":"Keine Threads entsprechen den Filtern.","sidebarElectron.pinnedThreads":"Angeheftete Threads","sidebarElectron.recentNavLink":"Threads","sidebarElectron.recentThreads":"Aktuelle Threads","sidebarElectron.removeWorkspaceRootOption":"Entfernen","sidebarElectron.renameThread":"Thread umbenennen","sidebarElectron.renameThreadDialogAriaLabel":"Thread-Titel","sidebarElectron.renameThreadDialogCancel":"Abbrechen","sidebarElectron.renameThreadDialogPlaceholder":"Einen Titel hinzufügen...","sidebarElectron.renameThreadDialogSave":"Speichern","sidebarElectron.renameThreadDialogSubtitle":"Kurz und gut erkennbar halten.","sidebarElectron.renameThreadDialogTitle":"Thread umbenennen","sidebarElectron.renameThreadError":"Umbenennen des Threads fehlgeschlagen","sidebarElectron.renameWorkspaceRootOptionLabel":"Anzeigename","sidebarElectron.showLess":"Weniger anzeigen","sidebarElectron.showMenu.all":"Alle Threads","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Nur aktuelle Threads für den aktuellen Branch, Worktrees oder andere relevante Threads anzeigen","sidebarElectron.showMenu.title":"Anzeigen","sidebarElectron.showMenu.tooltip":"Threads filtern, sortieren und organisieren","sidebarElectron.showMenu.trigger":"Threads in der Seitenleiste filtern","sidebarElectron.showMore":"Mehr anzeigen","sidebarElectron.skillsRouteNavLink":"Fähigkeiten","sidebarElectron.sortMenu.created":"Erstellt","sidebarElectron.sortMenu.title":"Sortieren nach","sidebarElectron.sortMenu.updated":"Aktualisiert","sidebarElectron.taskNavigation":"Automatisierungsordner","sidebarElectron.tasksInFolder":"Automatisierungen in {folder}","sidebarElectron.workspaceOptions":"Projektaktionen für {folder}","sidebarElectron.worktreeGroupTooltip":"Dies ist ein Git-Worktree","skills.appsPage.createSkill":"Neue Fähigkeiten","skills.appsPage.empty.skills":"Keine Fähigkeiten gefunden","skills.appsPage.search.skills":"Fähigkeiten suchen","skills.appsPage.search.skills.label":"Fähigkeiten suchen","skills.appsPage.section.installedApps":"installiert","skills.appsPage.section.skills":"Fähigkeiten","skills.appsPage.subheading":"Verleihe Codex Superkräfte. <link>Mehr erfahren</link>","skills.appsPage.tab.recommended":"Empfohlen","skills.appsPage.tab.skills":"Fähigkeiten","skills.card.contentsError":"Fähigkeiten-Inhalte konnten nicht geladen werden.","skills.card.disable":"Deaktivieren","skills.card.disableSuccess":"Fähigkeit „{skillName}“ deaktiviert","skills.card.disabledBadge":"Deaktiviert","skills.card.enable":"Aktivieren","skills.card.enableSuccess":"Fähigkeit „{skillName}“ aktiviert","skills.card.loadingContents":"Fähigkeiten-Inhalte werden geladen...","skills.card.more":"Mehr Aktionen","skills.card.open":"Öffnen","skills.card.removeFailed":"Fähigkeit konnte nicht deinstalliert werden.","skills.card.removeSuccess":"Fähigkeit „{skillName}“ deinstalliert","skills.card.toggleEnabledError":"Fähigkeit konnte nicht aktualisiert werden","skills.card.try":"Ausprobieren","skills.card.trySkill":"Fähigkeit testen","skills.card.uninstall":"Deinstallieren","skills.hero.dotLabel":"Zu Folie {index}","skills.hero.next":"Nächste vorgestellte Fähigkeit","skills.hero.trySkill":"Fähigkeit testen","skills.page.createSkill":"Neue Fähigkeiten","skills.page.empty":"Keine Fähigkeiten gefunden","skills.page.filteredEmpty":"Keine Fähigkeiten entsprechen deinen Filtern.","skills.page.filteredEmptyDescription":"Versuche, deine Such- oder Bereichsfilter anzupassen.","skills.page.heading":"Fähigkeiten","skills.page.loading":"Fähigkeiten werden geladen...","skills.page.refreshSkills":"Aktualisieren","skills.page.refreshSkillsToUseNew":"Aktualisieren, um neue Fähigkeits zu verwenden","skills.page.search":"Fähigkeiten suchen","skills.page.search.label":"Fähigkeiten suchen","skills.page.subheading":"Verleihe Codex Superkräfte. <link>Mehr erfahren</link>","skills.preview.copyPrompt":"Prompt kopieren","skills.preview.examplePrompt":"Beispielaufforderung","skills.recommended.error":"Empfohlene Fähigkeiten konnten nicht geladen werden","skills.recommended.install":"Installieren","skills.recommended.installSkill":"Fähigkeit installieren","skills.recommended.installSuccess":"Fähigkeit „{skillName}“ installiert","skills.recommended.installed":"installiert","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Vom Administrator installiert","skills.scope.builtIn":"System","skills.scope.personal":"Persönlich","skills.scope.repo":"Repository","skills.scope.system":"System","skills.scope.team":"Team","skills.scope.user":"Benutzer","skills.section.installed":"installiert","skills.section.recommended":"Empfohlen","story.slidingToggle.existing":"Bestehenden","story.slidingToggle.fromLocal":"Von lokal","story.slidingToggle.new":"Neu","story.slidingToggle.toLocal":"Nach lokal","terminal.close":"Terminal schließen","terminal.title":"Terminal","thinkingShimmer.default":"Denke nach","threadEnvIcon.cloudTooltip":"Dieses Gespräch wird in der Codex Cloud ausgeführt.","threadEnvIcon.localTooltip":"Dieses Gespräch wird lokal ausgeführt.","threadEnvIcon.worktreeTooltip":"Dieses Gespräch läuft in einem lokalen Git-Worktree.","threadHeader.archiveConfirmCancel":"Abbrechen","threadHeader.archiveConfirmConfirm":"Archivieren","threadHeader.archiveConfirmSubtitle":"Du findest es später in deinen archivierten Threads.","threadHeader.archiveConfirmTitle":"Thread archivieren?","threadHeader.copyAppLink":"Deeplink kopieren","threadHeader.copySessionId":"Sitzungs-ID kopieren","threadHeader.copyWorkingDirectory":"Arbeitsverzeichnis kopieren","threadHeader.forkIntoLocal":"Lokal forken","threadHeader.forkIntoWorktree":"In neuen Worktree forken","threadHeader.forkPendingWorktreePrompt":"Forke dieses Gespräch in einen neuen Worktree.","threadHeader.forkPendingWorktreeTitle":"Geforktes Gespräch","threadHeader.forkThreadError":"Forken des Threads fehlgeschlagen","threadHeader.forkThreadRequiresGitRepo":"Zum Forken in einen neuen Worktree ist ein Git-Repository erforderlich.","threadHeader.moreActions":"Thread-Aktionen","threadPage.newThread":"Neuer Thread","threadPage.runAction.changeEnvironment":"Umgebung wechseln","threadPage.runAction.dropdown.titleWithEnvironment":"Aktionen für {environmentName}","threadPage.runAction.environmentSelector.label":"Umgebung wählen","threadPage.runAction.label":"Ausgeführt","threadPage.runAction.missing.label":"Run-Aktion einrichten","threadPage.runAction.setup.commandLabel":"Befehl ausführen","threadPage.runAction.setup.description":"Codex mitteilen, wie Abhängigkeiten installiert und deine App gestartet werden.","threadPage.runAction.setup.editMore":"Umgebungseinstellungen","threadPage.runAction.setup.placeholder":"z. B. npm install npm run","threadPage.runAction.setup.submit":"Speichern und ausführen","threadPage.runAction.setup.title":"Ausgeführt","threadPage.runAction.tooltip.withEnvironment":"Aktionen für {environmentName}","threadPage.toggleDiffPanel":"Diff-Panel umschalten","threadPage.toggleTerminal":"Terminal anzeigen/ausblenden","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Ordner öffnen","toolSummaryForCmd.exploredFiles":"Dateien <verb>aufgelistet</verb>","toolSummaryForCmd.exploredFilesInPath":"Dateien <verb>aufgelistet</verb> in {path}","toolSummaryForCmd.exploringFiles":"Dateien <verb>werden aufgelistet</verb>","toolSummaryForCmd.exploringFilesInPath":"Dateien <verb>werden aufgelistet</verb> in {path}","toolSummaryForCmd.ranGenericCommand":"<status>Befehl ausgeführt</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ausgeführt</status> {command}{timer}","toolSummaryForCmd.read":"{path} <verb>lesen</verb>","toolSummaryForCmd.runningGenericCommand":"<status>Befehl wird ausgeführt</status>{timer}","toolSummaryForCmd.runningTimer":"für {elapsed}","toolSummaryForCmd.searchedFor":"Nach {query} <verb>gesucht</verb>","toolSummaryForCmd.searchedForFiles":"Nach Dateien <verb>gesucht</verb>","toolSummaryForCmd.searchedForInPath":"Nach {query} in {path} <verb>gesucht</verb>","toolSummaryForCmd.searchingFor":"Nach {query} <verb>wird gesucht</verb>","toolSummaryForCmd.searchingForFiles":"Nach Dateien <verb>wird gesucht</verb>","toolSummaryForCmd.searchingForInPath":"Nach {query} in {path} <verb>wird gesucht</verb>","traceRecording.details.noteLabel":"Was hast du gerade gemacht, als das passiert ist? (optional)","traceRecording.details.notePlaceholder":"Zu einem großen Thread navigiert und dann wiederholt die Tabs gewechselt…","traceRecording.details.submit":"Trace senden","traceRecording.details.subtitle":"Wir können diesen Profil-Trace senden, um Performance-Probleme zu diagnostizieren.","traceRecording.details.title":"Profil-Trace senden?","traceRecording.progress.subtitle":"Lass Codex geöffnet, bis der Vorgang abgeschlossen ist.","traceRecording.saving.title":"Trace wird gespeichert…","traceRecording.startDetails.cancel":"Abbrechen","traceRecording.startDetails.submit":"OK, Aufnahme starten","traceRecording.startDetails.subtitle":"Nachdem du auf OK geklickt hast, reproduzierst du das Problem und klickst dann auf das schwebende rote Steuerelement, um die Aufnahme zu stoppen und den Trace zu prüfen.","traceRecording.startDetails.title":"So funktioniert die Trace-Aufnahme","traceRecording.stopButton.ariaLabel":"Trace-Aufnahme stoppen","traceRecording.upload.successToast":"Profil-Trace gesendet.","traceRecording.uploading.title":"Trace wird hochgeladen…","wham.diff.addComment":"Kommentar hinzufügen","wham.diff.binaryFile":"Binärdatei wird nicht angezeigt.","wham.diff.noContent":"Keine Inhalte","wham.fileTag.deleted":"Gelöscht","wham.fileTag.new":"Neu","wham.formattedRelativeDateTime.compactDaysAgo":"{value} Tag(e)","wham.formattedRelativeDateTime.compactHoursAgo":"{value} Std.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} Min.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} M","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} W","wham.formattedRelativeDateTime.compactYearsAgo":"{value} J","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Deine Aufgabe ist in Arbeit","wham.whamProposedTask.title":"Vorgeschlagene Aufgabe","wham.whamProposedTask.useSuggestion":"Vorschlag verwenden","workspaceRootDialog.addError":"Projekt konnte nicht hinzugefügt werden","workspaceRootDialog.cancel":"Abbrechen","workspaceRootDialog.confirmAdd":"Projekt hinzufügen","workspaceRootDialog.confirmPick":"Projekt verwenden","workspaceRootDialog.description":"Gib einen Pfad auf {host} ein, um ihn als Projekt zu nutzen.","workspaceRootDialog.pathLabel":"Projektpfad","workspaceRootDialog.pathPlaceholder":"/home/du/projekt","workspaceRootDialog.title.add":"Projektpfad hinzufügen","workspaceRootDialog.title.pick":"Projektpfad auswählen","worktreeInitV2.cancel":"Abbrechen","worktreeInitV2.notification.failedTitle":"Worktree-Einrichtung fehlgeschlagen","worktreeInitV2.output.empty":"Warten auf Output...","worktreeInitV2.status.error":"Worktree-Einrichtung fehlgeschlagen.","worktreeInitV2.status.running":"Worktree wird erstellt und eingerichtet.","worktreeInitV2.status.runningFork":"Worktree zum Forken dieses Gesprächs wird erstellt.","worktreeInitV2.status.success":"Worktree bereit.","worktreeInitV2.title":"Worktree wird erstellt","worktreeInitV2.workLocallyInstead":"Stattdessen lokal arbeiten","worktreeRestoreBanner.body":"Der Worktree dieses Threads wurde entfernt, um Speicherplatz zu sparen.","worktreeRestoreBanner.missing.body":"Das Arbeitsverzeichnis dieses Threads existiert nicht mehr.","worktreeRestoreBanner.missing.title":"Aktuelles Arbeitsverzeichnis fehlt","worktreeRestoreBanner.restore.error":"Worktree konnte nicht wiederhergestellt werden: {message}","worktreeRestoreBanner.restore.success":"Worktree wiederhergestellt","worktreeRestoreBanner.restoreCta":"Worktree wiederherstellen","worktreeRestoreBanner.title":"Worktree bereinigt"};Object.assign(e,globalThis.codexI18nOverrides?.["de-DE"]);export{e as default};
 //# sourceMappingURL=de-DE-RUhTiOBJ.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Copiar","app.sidebar.hide":"Ocultar barra lateral","app.sidebar.show":"Mostrar barra lateral","app.sidebar.tooltip":"Alternar barra lateral","appHeader.installUpdate":"Actualizar","appSunset.body":"Esta versión de la aplicación ya no es compatible. Descarga la versión más reciente <here>aquí</here>.","appSunset.title":"Actualización obligatoria","automation.updateDirective.create":"Crear","automation.updateDirective.open":"Abrir","automation.updateDirective.untitled":"Automatización sin título","automation.updateDirective.update":"Actualizar","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# intento} many {# intentos} other {# intentos}}","cloudTaskRow.archiveError":"Se ha producido un error al archivar la tarea","code.diff.requestChange":"Solicitar cambio","code.diffComment.cancel":"Cancelar","code.diffComment.comment":"Comentario","code.diffComment.delete":"Eliminar","code.diffComment.save":"Guardar","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"No se ha informado sobre ningún resultado.","codex.alert.closeAriaLabel":"Cerrar","codex.appUpsellBanner.cbpApi.message":"Crea más rápido con la aplicación Codex. Descárgala ahora o {learnMoreLink}.","codex.appUpsellBanner.download":"Descargar","codex.appUpsellBanner.freeGo.message":"Codex está incluido en tu plan hasta el 2 de marzo. Prueba la aplicación Codex para crear más rápido.","codex.appUpsellBanner.later":"Más tarde","codex.appUpsellBanner.learnMoreLowercase":"más información","codex.appUpsellBanner.new":"Nuevo","codex.appUpsellBanner.proPlusBusiness.message":"Prueba la aplicación Codex con límites de velocidad 2× hasta el 2 de abril. Descárgala ahora o {learnMoreLink}.","codex.appUpsellBanner.title":"Aplicación Codex","codex.applyDropdown.header.changes":"cambios","codex.applyDropdown.header.fileCount":"{count, plural, one {# archivo} many {# archivos} other {# archivos}}","codex.applyDropdown.header.rows":"filas","codex.applyDropdown.header.title":"Aplicar cambios","codex.applyDropdown.header.workspace":"Proyecto","codex.applyDropdown.results.conflicted":"{count, plural, one {1 archivo en conflicto:} many {{count} archivos en conflicto:} other {{count} archivos en conflicto:}}","codex.applyDropdown.results.empty":"No se ha copiado ningún archivo","codex.applyDropdown.results.skipped":"{count, plural, one {1 archivo omitido:} many {{count} archivos omitidos:} other {{count} archivos omitidos:}}","codex.applyOrRevertBanner.apply":"Aplicar","codex.applyOrRevertBanner.applyMessage":"¿Quieres aplicar los cambios y continuar localmente?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Esta tarea se creó en {environment}, así que puede que no se aplique correctamente.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Los cambios se han realizado en {environment}, así que puede que no se apliquen correctamente.","codex.applyOrRevertBanner.reapply":"Volver a aplicar","codex.applyOrRevertBanner.revert":"Revertir","codex.applyOrRevertBanner.revertMessage":"¿Quieres revertir los cambios aplicados?","codex.applyResultsDialog.applied":"Se han aplicado correctamente ({count})","codex.applyResultsDialog.close":"Cerrar","codex.applyResultsDialog.conflicted":"Con conflictos ({count})","codex.applyResultsDialog.noDetails":"No hay detalles del archivo disponibles.","codex.applyResultsDialog.skipped":"Se ha omitido ({count})","codex.applyResultsDialog.title":"Aplicar resultados","codex.archiveInfo":"Ver chats archivados en {dataControlsLink}","codex.archiveInfo.dataControlsLink":"Controles de datos","codex.archiveInfo.electron":"Ver chats archivados en {settingsLink}","codex.archiveInfo.extension":"Ver chats archivados en tu carpeta .codex.","codex.archiveInfo.settingsLink":"Configuración","codex.banner.content.description":"Ejecuta tareas en paralelo, supervisa el progreso desde cualquier lugar y revisa solicitudes de extracción con IA.","codex.banner.content.headline":"Codex lo hace todo.","codex.cloudTaskRow.archiveTask":"Archivar tarea","codex.cloudTaskRow.confirmArchiveTask":"Confirmar","codex.command.feedback":"Opinión","codex.command.findInThread":"Buscar","codex.command.forceReloadSkills":"Forzar recarga de habilidades","codex.command.logOut":"Cerrar sesión","codex.command.manageTasks":"Gestionar tareas","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Atrás","codex.command.navigateForward":"Avanzar","codex.command.newThread":"Nuevo hilo","codex.command.nextThread":"Siguiente hilo","codex.command.openFolder":"Abrir carpeta","codex.command.openSkills":"Ir a habilidades","codex.command.openThreadOverlay":"Separar el hilo","codex.command.personalitySettings":"Personalidad","codex.command.previousThread":"Hilo anterior","codex.command.settings":"Configuración","codex.command.toggleDiffPanel":"Alternar panel de diferencias","codex.command.toggleSidebar":"Alternar barra lateral","codex.command.toggleTerminal":"Alternar terminal","codex.commandGroup.app":"Aplicación","codex.commandGroup.configure":"Configurar","codex.commandGroup.navigation":"Navegación","codex.commandGroup.panels":"Paneles","codex.commandGroup.skills":"Habilidades","codex.commandGroup.thread":"Hilo","codex.commandGroup.workspace":"Proyecto","codex.commandMenu.noResults":"No se han encontrado coincidencias","codex.commandMenu.searchPlaceholder":"Buscar comandos","codex.commandMenu.suggestedGroup":"Sugerido","codex.commandMenu.switchWorkspace":"Cambiar de proyecto","codex.commandMenu.title":"Menú de comandos","codex.common.retry":"Reintentar","codex.composer.searchBranches":"Buscar ramas","codex.dialog.basic.body":"Este es un cuadro de diálogo modal sencillo que usa nuestro contenedor para Radix Dialog.","codex.dialog.basic.cancel":"Cancelar","codex.dialog.basic.confirm":"Confirmar","codex.dialog.basic.open":"Abrir diálogo","codex.dialog.basic.title":"Diálogo de ejemplo","codex.dialog.long.close":"Cerrar","codex.dialog.long.line":"Línea desplazable {index} para mostrar contenido largo dentro del diálogo.","codex.dialog.long.open":"Abrir diálogo largo","codex.dialog.long.title":"Diálogo de contenido largo","codex.dialog.unstyled.body":"Esta historia muestra cómo los componentes que llaman pueden controlar por completo el estilo del contenido del diálogo.","codex.dialog.unstyled.open":"Abrir diálogo sin estilos","codex.dialog.unstyled.title":"Contenido sin estilos","codex.diff.openInEditorPrompt.openButton":"Abrir en el editor","codex.diff.openInEditorPrompt.singleLine":"Este archivo es demasiado grande para mostrarse aquí.","codex.diffView.failedToDecodeBase64Diff":"Se ha producido un error al descodificar la diferencia en base64","codex.diffView.filesChanged":"{fileCount, plural, one {# archivo cambiado} many {# archivos cambiados} other {# archivos cambiados}}","codex.diffView.imagePreviewAlt":"Vista previa de imagen","codex.diffView.imagePreviewEmpty":"Sin imágenes","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Sin datos de diferencia","codex.diffView.pdfPreview.nextPage":"Siguiente página","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Página anterior","codex.diffView.pdfPreviewEmpty":"No hay vista previa del PDF","codex.diffView.pdfPreviewError":"No se puede mostrar la vista previa del PDF","codex.diffView.richPreviewDisable":"Desactivar vista previa enriquecida","codex.diffView.richPreviewEnable":"Activar vista previa enriquecida","codex.diffView.richPreviewLoading":"Cargando vista previa…","codex.diffView.richPreviewToggle":"Alternar vista previa enriquecida","codex.diffView.switchToUnified":"Cambiar a diferencia unificada","codex.environmentSelector.noEnvironment":"Sin entorno","codex.environments.environmentSettings":"Configuración de entorno","codex.environments.learnMore":"Más información","codex.environments.listError":"Se ha producido un error al cargar los entornos.","codex.environments.noEnvironmentsFound":"No se han encontrado entornos","codex.environments.searchError":"Se ha producido un error al buscar los entornos.","codex.errorBoundary.genericError":"Vaya, se ha producido un error","codex.errorBoundary.goHome":"Volver a intentarlo","codex.file.patch.missing":"No se ha podido crear el parche para este archivo.","codex.gallery.automations.cwdLabel":"Proyectos","codex.gallery.automations.nameLabel":"Nombre","codex.gallery.automations.namePlaceholder":"Hacer un resumen de una tarea","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Describe lo que debe hacer Codex","codex.gallery.dialogs.automation.label":"Diálogo de automatización","codex.gallery.dialogs.basic.body":"Usa este diseño para confirmaciones sencillas o formularios breves.","codex.gallery.dialogs.basic.cancel":"Cancelar","codex.gallery.dialogs.basic.confirm":"Confirmar","codex.gallery.dialogs.basic.label":"Diálogo básico","codex.gallery.dialogs.basic.title":"Diálogo de ejemplo","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Describe el problema…","codex.gallery.dialogs.feedbackSubmission.bad":"Resultado incorrecto","codex.gallery.dialogs.feedbackSubmission.bug":"Error","codex.gallery.dialogs.feedbackSubmission.good":"Resultado correcto","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Incluir los registros de la sesión actual de Codex","codex.gallery.dialogs.feedbackSubmission.label":"Envío de opinión","codex.gallery.dialogs.feedbackSubmission.other":"Otra opción","codex.gallery.dialogs.feedbackSubmission.placeholder":"Describe aquí el problema","codex.gallery.dialogs.feedbackSubmission.submit":"Enviar","codex.gallery.dialogs.feedbackSubmission.title":"Opinión","codex.gallery.dialogs.feedbackSuccess.body":"Opinión cargada. Si el problema persiste, abre una incidencia en GitHub o menciona el id del hilo en una incidencia abierta existente:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ignorar","codex.gallery.dialogs.feedbackSuccess.label":"Opinión enviada correctamente","codex.gallery.dialogs.feedbackSuccess.title":"Opinión cargada","codex.gallery.dialogs.gitApplyResults.applied":"Aplicado sin conflictos (2)","codex.gallery.dialogs.gitApplyResults.close":"Cerrar","codex.gallery.dialogs.gitApplyResults.conflicted":"Con conflictos (1)","codex.gallery.dialogs.gitApplyResults.label":"Aplicar resultados","codex.gallery.dialogs.gitApplyResults.title":"Aplicar resultados","codex.gallery.dialogs.gitPushError.body":"Obtén los últimos cambios o fuerza el envío si sabes que el historial remoto se puede sobrescribir con seguridad.","codex.gallery.dialogs.gitPushError.cancel":"Cancelar","codex.gallery.dialogs.gitPushError.force":"Forzar envío","codex.gallery.dialogs.gitPushError.label":"Error de envío","codex.gallery.dialogs.gitPushError.subtitle":"Tu rama está por detrás de origen/principal.","codex.gallery.dialogs.gitPushError.title":"Se ha producido un error al enviar los cambios","codex.gallery.dialogs.gitRevert.cancel":"Cancelar","codex.gallery.dialogs.gitRevert.confirm":"Revertir","codex.gallery.dialogs.gitRevert.label":"Revertir cambios","codex.gallery.dialogs.gitRevert.skip":"No preguntar de nuevo","codex.gallery.dialogs.gitRevert.subtitle":"Esta acción elimina todos estos cambios.","codex.gallery.dialogs.gitRevert.title":"¿Revertir los cambios?","codex.gallery.dialogs.longForm.label":"Diálogo de formato largo","codex.gallery.dialogs.proseModal.body":"Este estilo de modal se usa para instrucciones largas, incorporación o bloques de contenido enriquecido.","codex.gallery.dialogs.proseModal.close":"Cerrar","codex.gallery.dialogs.proseModal.subtitle":"Comparte aquí orientaciones o documentación más extensas.","codex.gallery.dialogs.proseModal.title":"Modal de texto","codex.gallery.dialogs.submitBlocked.label":"Envío bloqueado","codex.gallery.dialogs.submitBlocked.message":"No se ha podido enviar tu mensaje porque el proyecto no está disponible.","codex.gallery.dialogs.submitBlocked.ok":"Aceptar","codex.gallery.dialogs.submitBlocked.title":"No se ha podido enviar el mensaje","codex.gallery.dialogs.title":"Diálogos","codex.gallery.dropdown.filterPlaceholder":"Filtrar elementos","codex.gallery.dropdowns.actionRow":"Filas de acciones","codex.gallery.dropdowns.actionRow.disabled":"Acción deshabilitada","codex.gallery.dropdowns.actionRow.primary":"Acción principal","codex.gallery.dropdowns.actionRow.secondary":"Acción secundaria","codex.gallery.dropdowns.actionRow.trigger":"Mostrar acciones","codex.gallery.dropdowns.basic":"Menú desplegable básico","codex.gallery.dropdowns.basic.newFile":"Archivo nuevo","codex.gallery.dropdowns.basic.newFolder":"Nueva carpeta","codex.gallery.dropdowns.basic.openSettings":"Abrir configuración","codex.gallery.dropdowns.basic.title":"Acciones rápidas","codex.gallery.dropdowns.basic.trigger":"Abrir menú","codex.gallery.dropdowns.basic.upload":"Cargar","codex.gallery.dropdowns.panel":"Superficie del panel","codex.gallery.dropdowns.panel.apply":"Aplicar","codex.gallery.dropdowns.panel.body":"Revisa los cambios y aplícalos a tu proyecto.","codex.gallery.dropdowns.panel.preview":"Vista previa","codex.gallery.dropdowns.panel.title":"Aplicar cambios","codex.gallery.dropdowns.panel.trigger":"Abrir panel","codex.gallery.dropdowns.search":"Menú desplegable con búsqueda","codex.gallery.dropdowns.search.first":"Canal alfa","codex.gallery.dropdowns.search.second":"Rama beta","codex.gallery.dropdowns.search.third":"Versión candidata","codex.gallery.dropdowns.search.trigger":"Filtrar elementos","codex.gallery.dropdowns.submenu":"Menú desplegable con submenú","codex.gallery.dropdowns.submenu.optionA":"Proyecto alfa","codex.gallery.dropdowns.submenu.optionB":"Proyecto beta","codex.gallery.dropdowns.submenu.optionC":"Proyecto gamma","codex.gallery.dropdowns.submenu.primary":"Asignar propietario","codex.gallery.dropdowns.submenu.secondary":"Mover a ","codex.gallery.dropdowns.submenu.tertiary":"Archivar","codex.gallery.dropdowns.submenu.trigger":"Elegir acción","codex.gallery.dropdowns.title":"Menús desplegables","codex.gallery.inbox.automations.close":"Cerrar","codex.gallery.inbox.automations.popover.cardTitle":"Gestionar automatizaciones","codex.gallery.inbox.automations.popover.dialogTitle":"Gestionar automatizaciones","codex.header.settingsTooltip":"Configuración","codex.hunk.patch.error":"No se ha podido preparar","codex.hunk.patch.missing":"No se ha podido crear el parche para este fragmento de cambios.","codex.hunk.patch.partialSuccess":"Éxito parcial","codex.hunk.patch.revertError":"No se ha podido deshacer la preparación","codex.hunk.patch.revertSuccess":"Preparación deshecha correctamente","codex.hunk.patch.success":"Preparación correcta","codex.legal.autonomy.details":"Para obtener más detalles, consulta la {link}","codex.legal.autonomy.details.link":"Documentación de Codex","codex.legal.autonomy.title":"Decide cuánta autonomía quieres conceder","codex.legal.backButton":"Atrás","codex.legal.cloud.taskOne.meta":"openai/agi · 12 oct.","codex.legal.cloud.taskOne.title":"Explicar el repositorio a un diseñador nuevo","codex.legal.cloud.taskThree.meta":"openai/codex · 8 oct.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Crear un tema en modo oscuro","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 oct.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Corregir un error de incorporación","codex.legal.continue.apikey":"Continuar","codex.legal.continueButton":"Siguiente","codex.legal.copilot.details":"Usa tu plan de Copilot para todas las llamadas al modelo, la facturación y los límites de uso. El uso de la extensión Codex está sujeto tanto a las {oaiTos} como a las {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"condiciones del servicio de GitHub","codex.legal.copilot.oaiTosLink":"condiciones del servicio de OpenAI Codex","codex.legal.copilot.title":"Con tecnología de GitHub Copilot","codex.legal.mistakes.review":"Revisa el código que escribe y los comandos que ejecuta","codex.legal.mistakes.title":"Codex puede cometer errores","codex.legal.powered.details":"Usa los límites de uso de tu plan y {link}","codex.legal.powered.details.link":"preferencias de datos de formación","codex.legal.powered.title":"Con tecnología de tu cuenta de ChatGPT","codex.legal.step.cloud.subtitle":"Envía tareas a Codex para ejecutarlas en segundo plano y así mantener la concentración y avanzar más rápido.","codex.legal.step.cloud.title":"Delegar a Codex en la nube","codex.legal.step.intro.subtitle":"Codex navega, edita, ejecuta comandos y realiza pruebas directamente en tu repositorio. Con tecnología de tu cuenta de ChatGPT.","codex.legal.step.intro.title":"Codex en tu IDE","codex.legal.step.todo.subtitle":"Escribe un comentario de tarea pendiente y conviértelo en una tarea de Codex con un solo clic.","codex.legal.step.todo.title":"Convierte las tareas pendientes en tareas de Codex","codex.legal.todo.heading":"// Tarea pendiente: implementar esquema","codex.localConversation.closeImagePreview":"Cerrar vista previa de imagen","codex.localConversation.userImageAttachment":"Archivo adjunto del usuario","codex.localTaskRow.archiveTask":"Archivar hilo","codex.localTaskRow.awaitingApproval":"A la espera de aprobación","codex.localTaskRow.awaitingResponse":"En espera de respuesta","codex.localTaskRow.confirmArchiveTask":"Confirmar","codex.loggedOut.apiKeyPrompt.cancel":"Cancelar","codex.loggedOut.apiKeyPrompt.confirm":"Aceptar","codex.loggedOut.apiKeyPrompt.getKey":"Obtener clave API","codex.loggedOut.apiKeyPrompt.inputLabel":"Introduce tu clave de la API de OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tareas en la nube deshabilitadas con clave API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tareas en la nube deshabilitadas con Copilot y clave API","codex.loggedOut.signIn":"Iniciar sesión con ChatGPT","codex.loggedOut.signIn.cancel":"Cancelar inicio de sesión","codex.loggedOut.signInWithCopilot":"Iniciar sesión con GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Usar clave API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Herramienta MCP {server} de {tool}","codex.mcpTool.collapsedLabel.verb.called":"Llamado","codex.mcpTool.collapsedLabel.verb.calling":"Llamando","codex.mcpTool.embeddedResource.contentLabel":"Contenido","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tipo MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"La herramienta no ha devuelto contenido","codex.mcpTool.rawPayloadHeading":"{server} sin procesar. Carga útil de la llamada a la herramienta {tool}","codex.menu.recent":"Recientes","codex.menu.seeAllHistory":"Ver todo el historial","codex.modelCapacityBanner.headline.noReset":"{modelName} está al máximo de capacidad en este momento. Vuelve a intentarlo más tarde o inicia una nueva conversación con otro modelo.","codex.modelCapacityBanner.headline.withReset":"{modelName} está al máximo de capacidad en este momento. Vuelve a intentarlo después del {resetDate} o inicia una nueva conversación con otro modelo.","codex.modelCapacityBanner.title":"El modelo seleccionado está al máximo de capacidad","codex.patch.change.contentsDeleted":"Contenido eliminado","codex.patch.change.created":"Creado","codex.patch.change.created-file":"Archivo creado","codex.patch.change.creating":"Creando","codex.patch.change.deleted":"Eliminado","codex.patch.change.deleted-file":"Archivo eliminado","codex.patch.change.deleting":"Eliminando","codex.patch.change.edited":"Editado","codex.patch.change.edited-file":"Archivo editado","codex.patch.change.editing":"Editando","codex.patch.change.noChanges":"Sin cambios","codex.patch.change.rejected-add":"Rechazado","codex.patch.change.rejected-delete":"Rechazado","codex.patch.change.rejected-edit":"Rechazado","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} de {total} tareas completadas","codex.plan.todoListCreated":"Lista de tareas creada con {total} tareas","codex.profileDropdown.apiKeyAuth":"Sesión iniciada con clave API","codex.profileDropdown.codexSettings":"Configuración de Codex","codex.profileDropdown.copilotAuth":"Sesión iniciada con Copilot","codex.profileDropdown.defaultAccountTitle":"Cuenta predeterminada","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Intro para enviar indicaciones largas","codex.profileDropdown.enterBehaviorError":"Error al actualizar la configuración","codex.profileDropdown.getPlus":"Mejora el plan para obtener límites más altos","codex.profileDropdown.keyboardShortcuts":"Accesos directos de teclado","codex.profileDropdown.language":"Idioma","codex.profileDropdown.languageDefault":"Detección automática","codex.profileDropdown.languageSearchPlaceholder":"Buscar idiomas","codex.profileDropdown.languageUpdateError":"No se ha podido actualizar el idioma","codex.profileDropdown.logOut":"Cerrar sesión","codex.profileDropdown.mcp":"Ajustes de MCP","codex.profileDropdown.openConfigToml":"Abrir config.toml","codex.profileDropdown.openConfigToml.wsl":"Abrir config.toml en entorno WSL","codex.profileDropdown.openExtensionSettings":"Abrir configuración","codex.profileDropdown.openMcpSettings":"Abrir ajustes de MCP","codex.profileDropdown.openOnStartup":"Abrir al iniciar","codex.profileDropdown.openOnStartupError":"Error al actualizar la configuración","codex.profileDropdown.openSkillsSettings":"Abrir ajustes de habilidades","codex.profileDropdown.personalAccountTitle":"Cuenta personal","codex.profileDropdown.queueFollowUps":"Poner seguimientos en cola","codex.profileDropdown.queueFollowUpsError":"Error al actualizar la configuración","codex.profileDropdown.readDocs":"Leer documentación","codex.profileDropdown.readSkillsDocs":"Leer documentación","codex.profileDropdown.runInWsl":"Ejecutar en WSL","codex.profileDropdown.runInWslError":"Error al actualizar la configuración","codex.profileDropdown.runInWslTooltip":"Ejecuta Codex dentro de WSL. Recomendado para mejorar la seguridad del entorno aislado y obtener un mejor rendimiento.","codex.profileDropdown.settings":"Configuración de IDE","codex.profileDropdown.settingsPage":"Configuración","codex.profileDropdown.signInWithOpenAI":"Iniciar sesión con ChatGPT","codex.profileDropdown.skills":"Ajustes de habilidades","codex.profileDropdown.switchToCopilotAccount":"Usar cuenta de Copilot","codex.profileDropdown.switchToOpenAIAccount":"Usar cuenta de OpenAI","codex.profileDropdown.todoCodelens":"Corregir comentarios de tarea pendiente","codex.profileDropdown.todoCodelensError":"Error al actualizar la configuración","codex.profileDropdown.windowsDocumentation":"Documentación de Windows","codex.profileFooter.signedInFallback":"Configuración","codex.profileFooter.upgrade":"Mejorar plan","codex.recentTasksMenu.clearSearch":"Borrar búsqueda","codex.recentTasksMenu.cloud":"Tareas en la nube","codex.recentTasksMenu.count":"{count, plural, =0 {No hay tareas en curso} one {# tarea en progreso} many {# tareas en progreso} other {# tareas en progreso}}","codex.recentTasksMenu.empty":"Aún no hay hilos","codex.recentTasksMenu.errorCloud":"Se ha producido un error al cargar las tareas.","codex.recentTasksMenu.errorCloud.inline":"Se ha producido un error al cargar las tareas en la nube.","codex.recentTasksMenu.filterAll":"Todo","codex.recentTasksMenu.filterCloudTasks":"Filtrar tareas en la nube","codex.recentTasksMenu.filterTooltip":"Filtrar tareas por entorno","codex.recentTasksMenu.local":"Tareas locales","codex.recentTasksMenu.recent":"Todas las tareas","codex.recentTasksMenu.search":"Buscar tareas recientes","codex.recentTasksMenu.searchEmpty":"Sin resultados","codex.recentTasksMenu.tooltip":"Historial de tareas","codex.recentTasksMenu.trigger":"Tareas recientes. {count, plural, one {# en curso} many {# en curso} other {# en curso}}","codex.remoteConversation.applyDiff.applyCta":"Aplicar cambios","codex.remoteConversation.applyDiff.dropdownTitle":"Aplicar cambios a una rama local","codex.remoteConversation.applyDiff.revertCta":"Revertir cambios","codex.remoteConversation.closeImagePreview":"Cerrar vista previa de imagen","codex.remoteConversation.codexCloudTask":"Estás viendo una tarea de <u>Codex en la nube</u>","codex.remoteConversation.errorWithMessage":"Error: {message}","codex.remoteConversation.loadingImage":"Cargando imagen","codex.remoteConversation.openInWeb":"Abrir en la web","codex.remoteConversation.streaming":"Empezando","codex.remoteConversation.turnFailed":"Se ha producido un error durante esta tarea","codex.remoteConversation.turnTab.loading":"Intento {number}","codex.remoteConversation.turnTab.title":"Intento {number}","codex.remoteConversation.userImageAttachment":"Archivo adjunto del usuario","codex.remoteConversation.viewPreviousTurns":"Abrir en la web","codex.remoteConversation.viewPreviousTurns.buttonText":"Abrir","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Abrir en la web","codex.review.copyGitApplyCommand":"Copiar el comando git apply","codex.review.copyGitApplyCommand.toast":"El comando git apply se ha copiado en el portapapeles","codex.review.diffTooLarge.description":"Esta diferencia es demasiado grande para mostrarse en revisión.","codex.review.diffTooLarge.title":"La diferencia es demasiado grande para mostrarse","codex.review.expandOrCollapseDiffButton.collapse":"Contraer todas las diferencias","codex.review.expandOrCollapseDiffButton.expand":"Expandir todas las diferencias","codex.review.expandOrCollapseDiffMenu.collapse":"Contraer todas las diferencias","codex.review.expandOrCollapseDiffMenu.expand":"Expandir todas las diferencias","codex.review.fileSearch.clear":"Borrar filtro de archivos","codex.review.fileSearch.empty":"No hay archivos que coincidan con el filtro actual.","codex.review.fileSearch.label":"Filtrar archivos","codex.review.fileSearch.placeholder":"Filtrar archivos...","codex.review.filesChanged":"{num, plural, =0 {Ningún archivo cambiado} one {# archivo cambiado} many {# archivos cambiados} other {# archivos cambiados}}","codex.review.find.loadMore":"Cargar más coincidencias","codex.review.fullReview.hideFileTree":"Ocultar árbol de archivos","codex.review.fullReview.showFileTree":"Mostrar árbol de archivos","codex.review.header.moreOptions":"Revisar opciones","codex.review.largeDiff.banner":"Se ha detectado una diferencia grande, se muestra un archivo cada vez.","codex.review.loadFullFiles.disable":"No cargar archivos completos","codex.review.loadFullFiles.enable":"Cargar archivos completos","codex.review.noDiff":"Los cambios del archivo aparecerán aquí","codex.review.noDiff.gitInit.createRepository":"Crear repositorio git","codex.review.noDiff.gitInit.creating":"Creando…","codex.review.noDiff.gitInit.error":"Se ha producido un error al iniciar Git: {message}","codex.review.noDiff.gitInit.success":"Repositorio Git creado","codex.review.noDiff.gitRepoRequired.description":"Haz seguimiento y deshaz cambios en este proyecto","codex.review.noDiff.gitRepoRequired.title":"Crear un repositorio Git","codex.review.noDiff.orNoLongerAvailable":"o las últimas diferencias ya no están disponibles","codex.review.noDiff.reverted":"El último turno se ha revertido","codex.review.noDiff.revertedOrCommitted":"El último turno se ha revertido o se ha confirmado","codex.review.refreshGitQueries":"Actualizar","codex.review.revert.file.error":"No se ha podido revertir {path}","codex.review.revert.file.partialSuccess":"Revertido parcialmente {path}","codex.review.revert.file.success":"Revertido {path}","codex.review.revert.hunk.error":"No se ha podido revertir el bloque {hunkNumber} en {path}","codex.review.revert.hunk.partialSuccess":"Bloque {hunkNumber} revertido parcialmente en {path}","codex.review.revert.hunk.success":"Bloque {hunkNumber} revertido en {path}","codex.review.revert.section.error":"No se ha podido revertir la sección","codex.review.revert.section.partialSuccess":"Sección revertida parcialmente","codex.review.revert.section.success":"Sección revertida","codex.review.revertDialog.cancel":"Cancelar","codex.review.revertDialog.confirm":"Confirmar","codex.review.revertDialog.message":"Esta acción elimina todos estos cambios.","codex.review.revertDialog.skip":"No preguntar de nuevo","codex.review.revertDialog.title":"¿Revertir los cambios?","codex.review.richPreview.disable":"Desactivar vista previa enriquecida","codex.review.richPreview.enable":"Activar vista previa enriquecida","codex.review.source.cloud":"Cambios en la nube","codex.review.source.local.all":"Todos los cambios de la rama","codex.review.source.local.lastTurn":"Cambios del último turno","codex.review.source.local.uncommitted":"Cambios no confirmados","codex.review.source.worktree":"Cambios del árbol de trabajo sin confirmar","codex.review.stageFilter.empty.staged.description":"Aceptar ediciones para prepararlas","codex.review.stageFilter.empty.staged.title":"No hay cambios preparados","codex.review.stageFilter.empty.unstaged.description":"Los cambios de código aparecerán aquí","codex.review.stageFilter.empty.unstaged.title":"No hay cambios sin preparar","codex.review.stageFilter.staged":"Preparados","codex.review.stageFilter.staged.count":"Preparados · {count}","codex.review.stageFilter.unstaged":"Sin preparar","codex.review.stageFilter.unstaged.count":"Sin preparar · {count}","codex.review.switchToSplit":"Cambiar a vista de diferencias dividida","codex.review.switchToUnified":"Cambiar a diferencia unificada","codex.review.toggleDiffView":"Alternar vista de diferencias","codex.review.wordDiffs.disable":"Deshabilitar diferencias de palabras","codex.review.wordDiffs.enable":"Habilitar diferencias de palabras","codex.review.wrap.disable":"Deshabilitar ajuste de línea","codex.review.wrap.enable":"Habilitar ajuste de línea","codex.section.patch.missing":"No se ha podido crear el parche para esta sección.","codex.shell.collapse":"Contraer consola","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Contenido de consola copiado","codex.shell.copy.copyTooltip":"Copiar contenido de consola","codex.shell.copyCommand":"Copiar comando","codex.shell.copyOutput":"Copiar resultado","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Expandir consola","codex.shell.name":"Shell","codex.shell.noOutput":"Sin salida","codex.signInFailed.message":"Error al iniciar sesión: {rawMessage}","codex.stories.toast.show":"Mostrar Toast","codex.stories.tooltip.basic":"Este es un mensaje emergente","codex.stories.tooltip.hoverMe":"Pasa el cursor por encima","codex.stories.tooltip.largerOffset":"Este mensaje emergente tiene más separación","codex.stories.tooltip.offsetButton":"Separación mayor","codex.stories.tooltip.shortcutButton":"Con acceso directo","codex.stories.tooltip.withShortcut":"Alternar terminal","codex.taskRow.title":"Nuevo hilo","codex.taskRowLayout.confirm":"Confirmar","codex.threadFindBar.chatFilter":"Buscar en el chat","codex.threadFindBar.close":"Cerrar búsqueda","codex.threadFindBar.diffFilter":"Buscar diferencias","codex.threadFindBar.label":"Buscar en el hilo","codex.threadFindBar.nextResult":"Siguiente resultado","codex.threadFindBar.noResults":"0 resultados","codex.threadFindBar.placeholder":"Buscar en el hilo…","codex.threadFindBar.placeholder.extension":"Buscar en el hilo…","codex.threadFindBar.placeholder.review":"Buscar diferencias...","codex.threadFindBar.placeholder.review.extension":"Buscar diferencias...","codex.threadFindBar.previousResult":"Resultado anterior","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# archivo cambiado} many {# archivos cambiados} other {# archivos cambiados}}","codex.unifiedDiff.inlineLargeFile":"Demasiado grande para renderizarse en línea","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Deshacer","codex.unifiedDiff.revertPatchError":"Se ha producido un error al revertir los cambios","codex.unifiedDiff.revertPatchSuccess":"Cambios revertidos","codex.unifiedDiff.reviewChangesSuffix":"cambios","codex.unifiedDiff.reviewShort":"Revisión","codex.unifiedDiff.viewDiffTooltip":"Revisión","codex.upsellBanner.business.headline":"Para obtener más acceso ahora, envía una solicitud a tu administrador o espera hasta {resetDate}.","codex.upsellBanner.cbp.headline":"Para obtener más acceso ahora, envía una solicitud a tu administrador.","codex.upsellBanner.cta.addCredits":"Añadir créditos","codex.upsellBanner.cta.upgradeAccount":"Mejorar plan","codex.upsellBanner.cta.viewUsage":"Ver uso","codex.upsellBanner.free.trialHeadline":"Tu límite de uso se restablece el {resetDate}. Para seguir usando Codex y acceder a GPT-5.3-Codex, inicia hoy tu prueba gratuita de Plus.","codex.upsellBanner.freeOrGo.headline":"Tu límite de tasa se restablece el {resetDate}. Para seguir usando Codex, mejora a Plus hoy.","codex.upsellBanner.general.headline":"Tu límite de tasa se restablece el {resetDate}.","codex.upsellBanner.general.title":"Has alcanzado el límite de mensajes de Codex","codex.upsellBanner.go.trialHeadline":"Tu límite de uso se restablece el {resetDate}. Para seguir usando Codex, inicia hoy tu prueba gratuita de Plus.","codex.upsellBanner.plus.headline":"Tu límite de tasa se restablece el {resetDate}. Para seguir usando Codex, añade créditos o mejora a Pro hoy.","codex.upsellBanner.pro.headline":"Tu límite de tasa se restablece el {resetDate}. Añade créditos para seguir usando Codex ahora.","codex.userMessage.autoResolveSync":"Resolver conflictos automáticamente","codex.userMessage.commentCount":"{count, plural, one {# comentario} many {# comentarios} other {# comentarios}}","codex.userMessage.copiedAriaLabel":"Se ha copiado","codex.userMessage.copiedTooltip":"Se ha copiado","codex.userMessage.copyAriaLabel":"Copiar mensaje","codex.userMessage.copyTooltip":"Copiar","codex.userMessage.implementPlan":"Implementar el plan","codex.userMessage.noContent":"(Sin contenido)","codex.userMessage.priorConversation":"Hace referencia a una conversación anterior","codex.userMessage.reviewMode":"Modo de revisión","codex.webSearch.summary":"{details} {label}","codex.webSearch.summary.details":"para {query}","codex.webSearch.summary.verb.completed":"Búsqueda en la web","codex.webSearch.summary.verb.inProgress":"Buscando en la web","codex.windowsInstallWslBanner.dismiss":"Ignorar","codex.windowsInstallWslBanner.installWslCta":"Habilitar entorno aislado","codex.windowsInstallWslBanner.learnMore":"Más información","codex.windowsSandboxBanner.content":"El modo agente usa un entorno aislado experimental en Windows para limitar el acceso al sistema de archivos y a la red. {sandboxLink}","codex.windowsSandboxBanner.title":"Habilitar entorno aislado para el modo agente","codex.windowsSubDropdown.windowsSandbox":"Entorno aislado de Windows","codex.windowsSubDropdown.windowsSettings":"Ajustes de Windows","codexUpgradeModal.body":"Nuestro modelo de programación basado en agentes más avanzado: más inteligente, más rápido y más capaz en trabajo técnico general. {link}","codexUpgradeModal.close":"Cerrar","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Más información","codexUpgradeModal.title":"Presentamos GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Prueba GPT-5.3-Codex ahora","codexUpgradeModal.useExistingModel":"Continuar con el modelo actual","commentAttachments.numComments":"{count, plural, one {# comentario} many {# comentarios} other {# comentarios}}","commentAttachments.removeAriaLabel":"Quitar archivo adjunto de comentarios","common.close":"Cerrar","composer.addContext.openFilePickerError":"No se ha podido abrir el selector de archivos","composer.addContextDropdown.ariaLabel":"Añadir archivos y más","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Añadir archivos y más","composer.addPhotosAndFiles":"Añadir fotos y archivos","composer.atMentionList.emptyQuery":"Escribe para buscar archivos","composer.atMentionList.loading":"Buscando…","composer.atMentionList.noResults":"Sin resultados","composer.attemptsSelector.option":"{count, plural, one {# versión} many {# versiones} other {# versiones}}","composer.attemptsSelector.tooltip":"Número de intentos paralelos que debe realizar Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Detener","composer.cloudFollowUp.cloud":"Nube","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"¿Dónde debe ejecutarse este seguimiento?","composer.cloudTaskCreationError":"Se ha producido un error al crear la tarea en la nube","composer.cloudTaskError":"Se ha producido un error al crear la tarea","composer.contextWindow.autoCompactionTooltipLine1":"Codex compacta automáticamente su contexto","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Ventana de contexto:","composer.contextWindowUsageStatusFull":"{usage} % llena","composer.contextWindowUsageStatusLeft":"{usage} % usado ({remaining} % restante)","composer.contextWindowUsageTooltip":"{usedTokens} k/{contextWindow} k tókenes usados","composer.customCliTooltip":"Uso de un ejecutable CLI personalizado","composer.dictation.aria":"Dictar","composer.dictation.cancel.aria":"Detener dictado","composer.dictation.cancel.tooltip":"Detener dictado","composer.dictation.startError":"No se ha podido iniciar el dictado","composer.dictation.submit.aria":"Transcribir y enviar","composer.dictation.submit.tooltip":"Transcribir y enviar","composer.dictation.tooltip":"Mantén pulsado para dictar","composer.dictation.transcribeError":"No se ha podido transcribir el audio","composer.dictation.unsupported":"El dictado no está disponible en este dispositivo","composer.dropOverlay.holdShift":"Mantén pulsado {key} para soltar","composer.dropOverlay.shiftKey":"Mayúsculas","composer.environmentSelector.createNew":"Crear nuevo","composer.environmentSelector.error":"Error al cargar los entornos","composer.environmentSelector.goBack":"Volver al editor","composer.environmentSelector.title":"Seleccionar entorno","composer.environmentSelector.tooltip":"Selecciona un entorno en la nube","composer.feedbackSlashCommand.title":"Opinión","composer.filePicker.selectFile":"Seleccionar un archivo","composer.filePicker.selectFiles":"Seleccionar archivos","composer.followerTooltip":"Para continuar, vuelve a la ventana donde empezó esta conversación.","composer.footer.branchSwitch.checkoutError":"No se ha podido cambiar de rama: {message}","composer.footer.branchSwitch.createAndCheckout":"Crear y cambiar a una rama nueva...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Confirmar cambios para crear y cambiar a una rama nueva","composer.footer.branchSwitch.createBranchError":"Se ha producido un error al crear la rama: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nombre de la rama","composer.footer.branchSwitch.createDialog.branchExistsError":"La rama ya existe.","composer.footer.branchSwitch.createDialog.close":"Cerrar","composer.footer.branchSwitch.createDialog.createAndCheckout":"Crear y cambiar","composer.footer.branchSwitch.createDialog.placeholder":"nueva-rama","composer.footer.branchSwitch.createDialog.title":"Crear y cambiar de rama","composer.footer.branchSwitch.createDialog.trailingSlashError":"El nombre de la rama no puede terminar en «/».","composer.footer.branchSwitch.tooltip":"Cambiar de rama","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Confirma los cambios en {fileCount, plural, one {# archivo} many {# archivos} other {# archivos}} para cambiar a la rama {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Confirmar","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"cambios en {fileCount, plural, one {# archivo} many {# archivos} other {# archivos}} para cambiar a la rama {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Cancelar","composer.footer.branchSwitch.uncommittedDialog.commit":"Confirmar cambios y cambiar de rama...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Tus cambios en los siguientes archivos se sobrescribirían al pagar:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Confirma tus cambios para continuar","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"la rama seleccionada","composer.footer.branchSwitch.uncommittedDialog.title":"Confirmar cambios para cambiar de rama","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Sin confirmar: {fileCount, plural, one {# archivo} many {# archivos} other {# archivos}}","composer.forkSlashCommand.description":"Bifurcar esta conversación a local o a un nuevo worktree","composer.forkSlashCommand.option.local.description":"Continuar en una nueva conversación local","composer.forkSlashCommand.option.local.title":"Bifurcar a local","composer.forkSlashCommand.option.worktree.description":"Continuar en un nuevo worktree","composer.forkSlashCommand.option.worktree.title":"Bifurcar a un nuevo worktree","composer.forkSlashCommand.title":"Bifurcar","composer.ideContextIndicator":"Contexto de IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Incluir contexto de IDE","composer.ideContextIndicator.tooltipToggle":"para alternar","composer.ideContextSlashCommand.disableDescription":"Desactivar contexto de IDE","composer.ideContextSlashCommand.enableDescription":"Incluir la selección actual, los archivos abiertos y otro contexto de tu IDE","composer.ideContextSlashCommand.title":"Contexto de IDE","composer.imageInputsUnsupported":"Este modelo no admite entradas de imagen. Prueba con otro modelo.","composer.imageUploadFailed":"Se ha producido un error al cargar la imagen","composer.includeIdeContextDropdown":"Incluir contexto del IDE","composer.includeIdeContextDropdown.ariaLabel":"Incluir contexto del IDE","composer.localCwdDropdown.addWorkspaceRoot":"Añadir nuevo proyecto","composer.localCwdDropdown.noActiveRoot":"Selecciona tu proyecto","composer.localCwdDropdown.noResults":"No se han encontrado carpetas","composer.localCwdDropdown.title":"Selecciona tu proyecto","composer.localTaskError":"Se ha producido un error al iniciar la conversación","composer.mcpSlashCommand.description":"Mostrar el estado del servidor MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"No autenticado","composer.mcpStatus.authOauth":"Autenticado (OAuth)","composer.mcpStatus.authToken":"Autenticado (clave de API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Cerrar","composer.mcpStatus.disabled":"Deshabilitado","composer.mcpStatus.emptyLabel":"Servidores:","composer.mcpStatus.emptyValue":"No hay servidores MCP configurados","composer.mcpStatus.enabled":"Habilitado","composer.mcpStatus.errorLabel":"Estado:","composer.mcpStatus.errorValue":"No se ha podido cargar el estado de MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agente","composer.mode.agentMode.auto.dropdownLabel":"Agente","composer.mode.agentMode.auto.optionLabel":"Agente","composer.mode.agentMode.changePermission":"Cambiar de modo","composer.mode.agentMode.custom":"Personalizado","composer.mode.agentMode.custom.dropdownLabel":"Personalizado","composer.mode.agentMode.custom.option":"Personalizado (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personalizado (config.toml)","composer.mode.agentMode.customInfo.cancel":"Cancelar","composer.mode.agentMode.customInfo.cli":"Puedes ajustar esos ajustes desde la CLI o editando el archivo directamente.","composer.mode.agentMode.customInfo.confirm":"Usar modo personalizado","composer.mode.agentMode.customInfo.description":"El modo personalizado aplica las políticas de aprobación y del entorno aislado definidas en tu <link>archivo</link> config.toml.","composer.mode.agentMode.customInfo.docs":"Obtén más información sobre cómo configurar las políticas de aprobación y del entorno aislado en la <link>documentación del entorno de ejecución</link>.","composer.mode.agentMode.customInfo.refresh":"Cualquier cambio se aplicará la próxima vez que se ejecute el agente.","composer.mode.agentMode.customInfo.title":"Cómo funciona el modo personalizado","composer.mode.agentMode.fullAccess":"Agente (acceso completo)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agente (acceso completo)","composer.mode.agentMode.fullAccess.optionLabel":"Agente (acceso completo)","composer.mode.agentMode.fullAccessConfirm.caution":"Ten cuidado al habilitar el acceso completo. Esto aumenta de forma significativa el riesgo de pérdida de datos, filtraciones o comportamientos inesperados.","composer.mode.agentMode.fullAccessConfirm.confirm":"Sí, continuar de todos modos","composer.mode.agentMode.fullAccessConfirm.description":"Cuando Codex se ejecuta con acceso completo, puede editar cualquier archivo de tu ordenador y ejecutar comandos con acceso a la red sin tu aprobación.","composer.mode.agentMode.fullAccessConfirm.goBack":"Cancelar","composer.mode.agentMode.fullAccessConfirm.title":"¿Habilitar el acceso completo?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Cambiar de modo","composer.mode.agentMode.tooltip.auto":"Leer y editar archivos, y ejecutar comandos.","composer.mode.agentMode.tooltip.custom":"Usar las políticas de aprobación y del entorno aislado más recientes definidas en config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex puede editar archivos fuera del proyecto y ejecutar comandos con acceso a la red. Úsalo con precaución.","composer.mode.agentMode.tooltip.readOnly":"Necesita aprobación para editar archivos y ejecutar comandos.","composer.mode.cloud.tooltip":"Trabaja en un entorno en la nube","composer.mode.contactAdmin":"Para obtener más acceso, contacta con tu administrador","composer.mode.local":"Local","composer.mode.local.learnMore":"Más información","composer.mode.local.model.custom":"Personalizado","composer.mode.local.model.loadingModel":"Cargando modelo","composer.mode.local.model.selecrReasoningEffort":"Elegir tipo de razonamiento","composer.mode.local.model.selectModel":"Seleccionar modelo","composer.mode.local.model.tooltip":"Elegir modelo","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Alto","composer.mode.local.reasoning.low.label":"Bajo","composer.mode.local.reasoning.medium.label":"Medio","composer.mode.local.reasoning.minimal.label":"Mínimo","composer.mode.local.reasoning.none.label":"Ninguno","composer.mode.local.reasoning.xhigh.label":"Extra alto","composer.mode.localRemoteWhereRun":"Selecciona dónde ejecutar la tarea","composer.mode.newTask.header":"Continuar en","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Límites de uso restantes","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"Límite de {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {límite semanal} many {{weeks} límite semanal} other {{weeks} límite semanal}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Semanalmente} many {{weeks} semana} other {{weeks} semanas}}","composer.mode.remote.connectToCloud":"Conectar Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Configura un entorno desde Codex web para habilitar el envío de tareas a la nube","composer.mode.remote.selectEnvironment":"Seleccionar entorno","composer.mode.remote.sendToCloud":"Enviar a la nube","composer.mode.remote.setupViaWeb":"Configurar un entorno desde Codex web","composer.mode.runInCloud":"Nube","composer.mode.runInCloudWithEnvironment":"Nube · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Trabaja en un entorno en la nube","composer.mode.segmentedToggle.local.tooltip":"Trabaja en tu proyecto local","composer.mode.segmentedToggle.worktree.tooltip":"Trabaja en un worktree paralelo","composer.mode.upgradeToPlus":"Mejora tu plan a Plus","composer.mode.upgradeToPro":"Mejora tu plan a Pro","composer.mode.workLocally":"Proyecto local","composer.mode.workLocally.currentBranchFallback":"tu rama","composer.mode.workLocally.tooltip":"Trabajar en {branchName}","composer.mode.worktree":"Nuevo worktree","composer.mode.worktree.submoduleWarning":"Este repositorio tiene submódulos de git. La creación del worktree puede fallar","composer.mode.worktree.tooltip":"Crea una copia de tu proyecto local para trabajar en paralelo","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Cambiar de modelo a mitad de la conversación degradará el rendimiento.","composer.newChat.heading.browser":"¿Qué deberíamos programar a continuación?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex usa el permiso definido en config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex tiene acceso completo a tu ordenador (riesgo elevado)","composer.permissionsDropdown.custom.label":"Personalizado (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personalizado (config.toml)","composer.permissionsDropdown.default.label":"Permisos predeterminados","composer.permissionsDropdown.default.optionLabel":"Permisos predeterminados","composer.permissionsDropdown.default.tooltip":"Codex ejecuta comandos automáticamente en un entorno aislado","composer.permissionsDropdown.disabled.requirements":"Los permisos están bloqueados por requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"El modo de acceso completo está deshabilitado por requirements.toml","composer.permissionsDropdown.fullAccess.label":"Acceso completo","composer.permissionsDropdown.fullAccess.optionLabel":"Acceso completo","composer.permissionsDropdown.trigger.tooltip":"Cambiar permisos","composer.personalitySlashCommand.description.friendly":"Cálido, colaborativo y servicial","composer.personalitySlashCommand.description.pragmatic":"Conciso, centrado en la tarea y directo","composer.personalitySlashCommand.label.friendly":"Amable","composer.personalitySlashCommand.label.pragmatic":"Pragmático","composer.personalitySlashCommand.notApplicableSuffix":"(No se aplica al modelo actual)","composer.personalitySlashCommand.title":"Personalidad","composer.placeholder.cloudFollowUp.directFollowUp":"Seguimiento de esta tarea en la nube","composer.placeholder.cloudFollowUp.local":"Crear una nueva tarea local que haga referencia a esta tarea en la nube","composer.placeholder.cloudFollowUp.workingTree":"Crear una nueva tarea en la nube que incluya tu código actual y haga referencia a esta tarea","composer.placeholder.localFollowUp.cloud":"Seguimiento en una nueva tarea en la nube","composer.placeholder.localFollowUp.locally":"Pedir cambios de seguimiento","composer.placeholder.newTask.cloud":"Pide a Codex que haga lo que quieras en la nube","composer.placeholder.newTask.doAnything":"Pedir a Codex que haga cualquier cosa","composer.placeholder.newTask.locally":"Pregunta a Codex lo que quieras, @ para añadir archivos, / para comandos","composer.planModeDropdown":"Modo plan","composer.planModeDropdown.ariaLabel":"Modo plan","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Crear un plan con Codex","composer.planModeIndicator.tooltipToggle":"para alternar","composer.planSlashCommand.disableDescription":"Desactivar el modo plan","composer.planSlashCommand.enableDescription":"Activar el modo plan","composer.planSlashCommand.title":"Modo plan","composer.priorContext.label":"Contexto anterior","composer.priorContext.removeAriaLabel":"Quitar el contexto anterior","composer.queuedMessage.delete":"Eliminar mensaje en cola","composer.queuedMessage.edit":"Editar mensaje","composer.queuedMessage.more":"Acciones de mensajes en cola","composer.queuedMessage.sendNow":"Dirigir","composer.queuedMessage.sendNowTooltip":"Enviar ahora sin interrumpir el trabajo","composer.queuedMessage.turnOff":"Desactivar la cola","composer.reasoningEffort.local.reasoning.tooltip":"Elegir esfuerzo de razonamiento","composer.remote.branchStartingPoint":"¿Desde qué rama debería empezar esta tarea?","composer.remote.branchesSectionHeading":"Ramas","composer.remote.currentEditsSuffix.followUp":"Crear una tarea nueva que haga referencia a esta tarea en la nube.","composer.remote.currentEditsSuffix.useLocal":"con cambios locales del código","composer.remote.directFollowUp":"No usar cambios locales","composer.remote.errorLoadingBranches":"Error al cargar ramas","composer.remote.fromBranch":"Desde {branch}","composer.remote.fromCurrentBranch":"De {branch} (actual)","composer.remote.loadingMoreBranches":"Cargando…","composer.remote.localFileStateHeading":"Estado de archivos locales","composer.remote.localWorkingTree":"Usar cambios locales","composer.remote.startingPoint":"¿Desde qué código debe comenzar esta tarea?","composer.reviewMode.branches.error":"No se han podido cargar las ramas","composer.reviewMode.branches.retry":"Reintentar","composer.reviewMode.gitRoot.error":"No se ha encontrado la raíz de Git","composer.reviewMode.option.baseBranch.simple":"Revisar en comparación con una rama base","composer.reviewMode.option.unstaged.simple":"Revisar cambios no confirmados","composer.reviewMode.quickReviewError":"Se ha producido un error al iniciar la revisión de código.","composer.reviewMode.title":"Revisar código","composer.sandboxButton.unlock.disabled.tooltip":"El modo de acceso completo está deshabilitado por requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex puede usar un entorno aislado experimental en Windows para limitar el acceso al sistema de archivos y a la red. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"¿Habilitar entorno aislado de Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Usar solo lectura","composer.searchEnvironments":"Buscar entornos","composer.skillMentionList.app":"Aplicación","composer.skillMentionList.loading":"Cargando habilidades…","composer.skillMentionList.noResults":"No se han encontrado habilidades","composer.slashCommands.cloudEnvironment.title":"Entorno en la nube","composer.slashCommands.dialogLabel":"Menú de comandos con barra","composer.slashCommands.dialogTitle":"Comandos con barra","composer.slashCommands.disabledTooltip":"Inicia una conversación nueva para usar los comandos con barra","composer.slashCommands.inputPlaceholder":"Buscar","composer.slashCommands.noResults":"Sin comandos","composer.slashCommands.skillsGroup":"Habilidades","composer.slashCommands.tooltip":"Explorar comandos con barra","composer.status.close":"Cerrar","composer.statusPlain.alertLabel":"Alerta:","composer.statusPlain.alertValue":"{remaining} % restante en {window}","composer.statusPlain.contextLabel":"Contexto:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} usado/{total})","composer.statusPlain.contextValueRemaining":"{remaining} % restante","composer.statusPlain.heading":"Estado","composer.statusPlain.modelRateLimitSectionLabel":"Límite de {modelName}:","composer.statusPlain.rateLimitDays":"Límite de {count} d","composer.statusPlain.rateLimitFallbackLabel":"Límite de uso:","composer.statusPlain.rateLimitHours":"Límite de {count} h","composer.statusPlain.rateLimitLabelBase":"Límite de uso","composer.statusPlain.rateLimitMinutes":"Límite de {count} m","composer.statusPlain.rateLimitPercent":"{remaining} % restante","composer.statusPlain.rateLimitReset":"se restablece a las {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"hora de restablecimiento no disponible","composer.statusPlain.rateLimitUnavailable":"No disponible","composer.statusPlain.sessionCopiedAriaLabel":"ID de sesión copiada","composer.statusPlain.sessionCopiedTooltip":"ID copiado","composer.statusPlain.sessionCopyAriaLabel":"Copiar ID de sesión","composer.statusPlain.sessionCopyTooltip":"Copiar ID","composer.statusPlain.sessionLabel":"Sesión:","composer.statusSlashCommand.description":"Mostrar el ID del hilo, el uso de contexto y los límites de uso","composer.statusSlashCommand.title":"Estado","composer.submit.blockedDialogOk":"Aceptar","composer.submit.blockedDialogTitle":"No se ha podido enviar el mensaje","composer.submit.emptyMessage":"Introduce un mensaje para empezar","composer.submit.imageInputsUnsupported":"Quita las imágenes o cambia de modelo para enviar este mensaje.","composer.submit.loadingLocalConfig":"Cargando…","composer.submit.missingCloudConfig":"Debes elegir un entorno en la nube","composer.submit.missingCloudTurn":"No se puede continuar esta tarea","composer.submit.noWorkspace":"Añade un proyecto para usar Codex","composer.submit.waitForImageUploads":"Cargando imágenes...","composer.submitButtonTooltip.send":"Enviar","composer.submitButtonTooltip.stop":"Detener","composer.worktreeEnvironment.create":"Crear un entorno local","composer.worktreeEnvironment.default":"Entorno predeterminado","composer.worktreeEnvironment.error":"Error al cargar los entornos","composer.worktreeEnvironment.loading":"Cargando entornos…","composer.worktreeEnvironment.title":"Entorno local","composer.worktreeEnvironment.tooltip":"Selecciona un entorno local","composer.worktreeSetupFailed":"La configuración del worktree ha fallado. Revisa .codex/environments para ver si hay un script de configuración.","compoundButton.secondaryAction":"Acción secundaria","copyButton.copied":"Se ha copiado","copyButton.copiedAriaLabel":"Se ha copiado","copyButton.copy":"Copiar","copyButton.copyAriaLabel":"Copiar","copyButton.copyCode":"Copiar código","diff.actionButton.revertFile":"Revertir archivo","diff.actionButton.revertHunk":"Revertir","diff.actionButton.revertSection":"Revertir todo","diff.actionButton.revertSectionLabel":"Revertir todo","diff.actionButton.stageFile":"Preparar archivo","diff.actionButton.stageHunk":"Preparar","diff.actionButton.stageSection":"Preparar todo","diff.actionButton.stageSectionLabel":"Preparar todo","diff.actionButton.unstageFile":"Quitar archivo de preparado","diff.actionButton.unstageHunk":"Quitar","diff.actionButton.unstageSection":"Quitar todo de la preparación","diff.actionButton.unstageSectionLabel":"Quitar todo de la preparación","diff.fileHeader.toggle":"Alternar diferencias de archivo","electron.onboarding.login.apikey.cancel":"Cancelar","electron.onboarding.login.apikey.continue":"Continuar","electron.onboarding.login.apikey.label":"Clave API de OpenAI","electron.onboarding.login.apikey.open":"Introducir clave de API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Cancelar inicio de sesión","electron.onboarding.login.chatgpt.continue":"Continuar con ChatGPT","electron.onboarding.login.devbox":"Conectar a un SSH remoto","electron.onboarding.login.error":"Error al iniciar sesión: {rawMessage}","electron.onboarding.login.snake.start":"Jugar a Snake","electron.onboarding.login.sshConfig.cancel":"Cancelar","electron.onboarding.login.sshConfig.continue":"Continuar","electron.onboarding.login.sshConfig.hostnameLabel":"Nombre de host SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"La mejor forma de crear con agentes","electron.onboarding.login.title":"Te damos la bienvenida a Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuar","electron.onboarding.welcome.doubleLimits.description":"Para celebrar el lanzamiento de la aplicación Codex, tienes límites de velocidad 2× hasta el 2 de abril.","electron.onboarding.welcome.freego.description":"Codex está incluido en tu plan sin coste hasta el 2 de marzo. Empecemos a crear juntos.","electron.onboarding.welcome.new.title.anon":"Te damos la bienvenida","electron.onboarding.workspace.continue":"Continuar","electron.onboarding.workspace.empty":"Añade un proyecto para continuar.","electron.onboarding.workspace.listLabel":"Proyectos disponibles","electron.onboarding.workspace.loading":"Cargando proyectos…","electron.onboarding.workspace.openFolder":"Añadir proyecto","electron.onboarding.workspace.selectAll":"Seleccionar todo","electron.onboarding.workspace.skip":"Omitir","electron.onboarding.workspace.skip.error":"No se ha podido crear un proyecto nuevo: {message}","electron.onboarding.workspace.skip.error.unknown":"Error desconocido","electron.onboarding.workspace.skipping":"Creando un proyecto nuevo…","electron.onboarding.workspace.subtitle":"Codex podrá editar archivos y ejecutar comandos en las carpetas seleccionadas.","electron.onboarding.workspace.title":"Seleccionar un proyecto","errorPage.list.checkSettings":"Intenta actualizar los ajustes del IDE","errorPage.list.configToml":"Comprueba tu config.toml para ver si hay ajustes no válidos","errorPage.list.downloadExtension":"Intenta descargar otra versión de la extensión","errorPage.list.runInWsl":"Comprueba los ajustes para desactivar la ejecución en WSL si ves problemas de compatibilidad","execApprovalRequest.menu.runAlways":"Sí, y no vuelvas a preguntar en esta sesión","execApprovalRequest.menu.runAlwaysWithAmendment":"Sí, y no volver a preguntar para los comandos que empiecen por {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Sí, y no volver a preguntar para los comandos que empiecen por","execApprovalRequest.menu.runOnce":"Sí","execApprovalRequest.prompt":"¿Quieres ejecutar este comando?","execApprovalRequest.reject":"No","execFooter.exitCode":"Código de salida {code}","execFooter.exitCode.unknown":"desconocido","execFooter.success":"Listo","feedback.dialog.category.badResult":"Resultado incorrecto","feedback.dialog.category.bug":"Error","feedback.dialog.category.goodResult":"Resultado correcto","feedback.dialog.category.other":"Otra opción","feedback.dialog.descriptionPlaceholder":"Describe aquí el problema","feedback.dialog.dismiss":"Ignorar","feedback.dialog.includeLogsLabel":"Incluir los registros de la sesión actual de Codex","feedback.dialog.submit":"Enviar","feedback.dialog.submitError":"No hemos podido enviar tu opinión. Vuelve a intentarlo en un momento.","feedback.dialog.title":"Opinión","feedback.dialog.uploadedMessage.existingIssue":"incidencia abierta existente","feedback.dialog.uploadedMessage.openIssue":"abrir una incidencia en GitHub","feedback.dialog.uploadedMessage.withThread":"Se ha cargado tu opinión. Si el problema continúa, {openIssueLink} o menciona el identificador del hilo en {existingIssueLink}:","feedback.dialog.uploadedTitle":"Opinión cargada","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Quitar {filename}","header.back":"Atrás","header.recentChats":"Tareas","header.recentTasks.seeAll":"Ver todo ({total})","home.header.getPlus":"Obtener Plus","home.hero.letsBuild":"Vamos a crear","homePage.mainContent":"Contenido principal","imageAttachment.defaultName":"imagen","imageAttachment.preview.close":"Cerrar vista previa de imagen","imageAttachment.removeAriaLabel":"Quitar {filename}","implementPlanRequest.option.implement":"Sí, implementar este plan","implementPlanRequest.prompt":"¿Implementar este plan?","inbox.archived.deleteError":"No se ha podido eliminar la ejecución archivada","inbox.archived.deleteRun":"Eliminar ejecución archivada","inbox.archived.deleteSuccess":"Hilo archivado eliminado. Ver en <settingsLink>Hilos archivados</settingsLink>.","inbox.archived.inlineLabel.auto":"Este hilo se archivó automáticamente. <learnMoreLink>Más información</learnMoreLink>.","inbox.archived.inlineLabel.manual":"Este hilo se archivó.","inbox.archived.noMessageFound":"No se ha encontrado ningún mensaje","inbox.automations.createError":"No se ha podido crear la automatización","inbox.automations.deleteConfirm.cancel":"Cancelar","inbox.automations.deleteConfirm.confirm":"Eliminar automatización","inbox.automations.deleteConfirm.description":"Esto eliminará la automatización de forma permanente y detendrá cualquier ejecución futura.","inbox.automations.deleteConfirm.title":"¿Eliminar {name}?","inbox.automations.deleteError":"No se ha podido eliminar la automatización","inbox.automations.editTooltip":"Editar automatización","inbox.automations.inProgress":"En curso","inbox.automations.new":"Nuevo","inbox.automations.newToolbar":"Nueva automatización","inbox.automations.pauseTooltip":"Pausar automatización","inbox.automations.resumeTooltip":"Reanudar automatización","inbox.automations.startingNow":"Desde ahora","inbox.automations.startsIn":"Empieza en {startTime}","inbox.automations.status.active":"Activo","inbox.automations.status.paused":"Pausado","inbox.automations.status.runs":"{count} ejecuciones","inbox.automations.status.started":"Iniciado el {date}","inbox.automations.updateError":"No se ha podido actualizar la automatización","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Todo","inbox.filter.ariaLabel":"Filtrar elementos de la bandeja de entrada","inbox.filter.unread":"No leído","inbox.list.archived":"Archivado","inbox.list.inProgress":"En curso","inbox.list.recent":"Completado","inbox.list.upNext":"Programado","inbox.mode.automations":"Automatizaciones","inbox.mode.automations.beta":"Beta","inbox.noDescription":"No se ha proporcionado ninguna descripción","inbox.openThread":"Abrir hilo","inbox.rightPanel.emptySubtitle":"Automatiza el trabajo configurando tareas programadas","inbox.rightPanel.emptySubtitle.learnMore":"Automatiza el trabajo configurando hilos programados. <link>Más información</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatización activa} many {# automatizaciones activas} other {# automatizaciones activas}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"No hay automatizaciones sin leer","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatización sin leer} many {# automatizaciones sin leer} other {# automatizaciones sin leer}}","inbox.rightPanel.emptyTitle":"Ningún elemento seleccionado","inbox.rightPanel.noThread":"No hay ningún hilo para este elemento","inbox.rightPanel.quickStart.header":"Empezar con una plantilla","inbox.untitled":"Elemento de la bandeja de entrada sin título","loadingPage.documentationLink":"documentación","loadingPage.errorDescription":"Codex ha fallado con el siguiente error:","loadingPage.errorDescription.documentation":"Pulsa «Recargar» para reiniciar la extensión de Codex o visita nuestro {documentationLink} para obtener ayuda adicional.","loadingPage.errorSignal":"Algunas cosas que puedes probar:","loadingPage.errorTitle":"Se ha producido un error","loadingPage.openConfigToml":"Abrir config.toml","loadingPage.reload":"Volver a cargar","localConversation.contextCompacted":"El contexto se ha compactado automáticamente","localConversation.contextCompacting":"Compactando el contexto automáticamente","localConversation.forkedFromConversation":"Bifurcada desde {threadTitle}","localConversation.merge.autoResolve.failed":"Se ha producido un error al solicitar la resolución automática: {error}","localConversation.merge.autoResolve.sent":"Solicitud de resolución automática enviada","localConversation.merge.autoResolveMerge.missingConversation":"No se puede resolver automáticamente sin una conversación activa.","localConversation.merge.autoResolveMerge.request":"Resolver automáticamente los conflictos de fusión","localConversation.modelChanged":"Modelo cambiado de {fromModel} a {toModel}.","localConversation.modelChanged.warning.line1":"Cambiar de modelo a mitad de la conversación degradará el rendimiento.","localConversation.modelChanged.warning.line2":"El contexto puede compactarse automáticamente.","localConversation.moveThread.createBranch.label":"Crear rama","localConversation.moveToLocal.disabled.loading":"Cargando…","localConversation.moveToLocal.modal.continue":"Continuar","localConversation.moveToLocal.modal.destinationLabel":"Mover a ","localConversation.moveToLocal.modal.retry":"Reintentar","localConversation.moveToWorktree.modal.back":"Atrás","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"La rama ya existe.","localConversation.moveToWorktree.modal.branchesError":"No se han podido cargar las ramas","localConversation.moveToWorktree.modal.branchesLoading":"Cargando ramas…","localConversation.moveToWorktree.modal.branchesRetry":"Reintentar","localConversation.moveToWorktree.modal.continue":"Continuar","localConversation.moveToWorktree.modal.retry":"Reintentar","localConversation.moveToWorktree.modal.trailingSlashError":"El nombre de la rama no puede terminar en «/».","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nueva-rama","localConversation.personalityChanged":"Se ha cambiado a la personalidad {personality}","localConversation.planSummary.collapse":"Contraer el resumen del plan","localConversation.planSummary.collapseTooltip":"Contraer","localConversation.planSummary.download":"Descargar plan","localConversation.planSummary.expand":"Expandir el resumen del plan","localConversation.planSummary.expandTooltip":"Ampliar","localConversation.planSummary.openInNewWindow":"Abrir","localConversation.planSummary.openInNewWindow.tooltip":"Abrir en una nueva ventana","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plan de escritura","localConversation.planSummary.viewPlan":"Ampliar plan","localConversation.remoteTaskCreated":"Se ha creado la {taskLink} en Codex Cloud","localConversation.remoteTaskCreated.task":"tarea","localConversation.scrollToBottomButton":"Ir al final","localConversation.sync.buttonLabel":"Transferir a local","localConversation.sync.buttonLabel.tooltip":"Transferir cambios entre este worktree y tu repositorio local.","localConversation.sync.modal.loading.title":"Transfiriendo cambios…","localConversation.sync.modal.noChanges":"Sin cambios","localConversation.syncSetup.branchAriaLabel":"Nombre de la rama","localConversation.syncSetup.branchName":"Nombre de la rama","localConversation.syncSetup.branchPlaceholder.existing":"Selecciona una rama existente","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Cargando ramas…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Ya está activa","localConversation.syncSetup.checkoutClean":"Actualmente en {branchName}","localConversation.syncSetup.checkoutDirty":"Actualmente en {branchName} con cambios sin confirmar","localConversation.syncSetup.checkoutError":"No se ha podido activar la rama: {message}","localConversation.syncSetup.checkoutLabel":"Activar en local ahora","localConversation.syncSetup.checkoutOnLocal":"Transferir a local","localConversation.syncSetup.checkoutPending":"Comprobando el estado local…","localConversation.syncSetup.checkoutUnavailable":"El área de trabajo local no está disponible","localConversation.syncSetup.checkoutUnknown":"La rama local no está disponible","localConversation.syncSetup.continue":"Continuar","localConversation.syncSetup.createBranchError":"No se ha podido configurar la rama de transferencia: {message}","localConversation.syncSetup.error":"Algo ha salido mal: {message}","localConversation.syncSetup.error.workingTreeMissing":"No se ha podido capturar el worktree. Vuelve a intentar la transferencia.","localConversation.syncSetup.mode.ariaLabel":"Selecciona el modo de rama","localConversation.syncSetup.mode.existing":"Rama existente","localConversation.syncSetup.mode.new":"Nueva rama","localConversation.syncSetup.noBranches":"No se han encontrado ramas","localConversation.syncSetup.overwriteError":"La rama se creó, pero la transferencia no se completó. Transfiere manualmente antes de activarla en local.","localConversation.syncSetup.setPrefix":"Establecer prefijo","localConversation.syncSetup.subtitle":"Probar y editar cambios del worktree en local. <a>Más información</a>","localConversation.syncSetup.success.checkedOut":"La rama se creó y está activa en local","localConversation.syncSetup.success.notCheckedOut":"Rama creada","localConversation.syncSetup.title":"Transferir a una rama local","localConversation.syncWorktreeError.branchAriaLabel":"Nombre de la rama","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Elige una rama a la que transferir y vuelve a intentar cargar los cambios.","localConversation.syncWorktreeError.branchSetup.title":"Actualizar rama","localConversation.syncWorktreeError.branchUpdate.cta":"Actualizar y volver a intentar","localConversation.syncWorktreeError.branchUpdate.error":"No se ha podido actualizar la rama: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Algo ha salido mal: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"La rama no está activa en ningún worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Aplicar","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Debes activar la rama en local para aplicar los cambios sin confirmar","localConversation.syncWorktreeV2.branches.empty":"No se han encontrado ramas","localConversation.syncWorktreeV2.branches.loading":"Cargando ramas…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Cambiar la rama de transferencia","localConversation.syncWorktreeV2.changeBranch.error":"No se ha podido cambiar la rama de transferencia: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Se ha producido un error al aplicar","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Se ha producido un error al sobrescribir el worktree","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Se ha producido un error al sobrescribir en local","localConversation.syncWorktreeV2.commandError.back":"Atrás","localConversation.syncWorktreeV2.commandError.body":"Un comando de git falló durante la transferencia. Revisa la salida y vuelve a intentarlo.","localConversation.syncWorktreeV2.commandError.retry":"Reintentar","localConversation.syncWorktreeV2.description":"Transferir cambios entre local y este worktree <a>Más información</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Seleccionar dirección de transferencia","localConversation.syncWorktreeV2.error.generic":"Algo ha ido mal durante la transferencia. Vuelve a intentarlo.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"Calculando cambios","localConversation.syncWorktreeV2.noChanges.summary":"Sin cambios","localConversation.syncWorktreeV2.overwrite.local":"Sobrescribir en local","localConversation.syncWorktreeV2.overwrite.worktree":"Sobrescribir el worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"No se han podido aplicar los cambios","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"No se han podido sobrescribir los cambios locales","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"No se han podido sobrescribir los cambios del worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Aplicado","localConversation.syncWorktreeV2.partial.back":"Atrás","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resuelve los conflictos y vuelve a intentarlo.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflictos","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# archivo} many {# archivos} other {# archivos}}","localConversation.syncWorktreeV2.partial.retry":"Reintentar","localConversation.syncWorktreeV2.partial.skippedLabel":"Omitido","localConversation.syncWorktreeV2.stateFailed.generic":"Algo ha salido mal al obtener los cambios del worktree para transferirlos. Vuelve a intentarlo.","localConversation.syncWorktreeV2.stateFailed.title":"No se han podido cargar los cambios del worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"No se han podido cargar los cambios del worktree.","localConversation.syncWorktreeV2.statusError.retry":"Reintentar","localConversation.syncWorktreeV2.statusError.title":"No se han podido cargar los cambios de la rama local","localConversation.syncWorktreeV2.statusError.unknown":"El estado de la rama no está disponible ahora mismo. Vuelve a intentarlo.","localConversation.syncWorktreeV2.success.apply":"Cambios aplicados correctamente","localConversation.syncWorktreeV2.success.overwrite":"Transferencia completada","localConversation.syncWorktreeV2.title":"Transferir cambios","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Preguntando {count, plural, one {pregunta} many {preguntas} other {preguntas}}","localConversation.userInputRequest.noAnswer":"No se ha proporcionado ninguna respuesta","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Preguntado","localConversation.userInputRequest.summary.count":"{count, plural, one {# pregunta} many {# preguntas} other {# preguntas}}","localConversation.workedFor":"Ha trabajado durante {time}","localConversation.worktreeBranchSetup.action.create":"Crear","localConversation.worktreeBranchSetup.branchAriaLabel":"Nombre de la rama","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Crear una nueva rama","localConversation.worktreeBranchSetup.checkoutDisabled":"Esta rama ya está activa en {location}","localConversation.worktreeBranchSetup.checkoutError":"No se ha podido activar la rama: {message}","localConversation.worktreeBranchSetup.createBranchError":"No se ha podido configurar la rama: {message}","localConversation.worktreeBranchSetup.error":"Algo ha salido mal: {message}","localConversation.worktreeBranchSetup.subtitle":"Crea una rama para confirmar cambios, enviar los cambios y crear una solicitud de extracción desde este worktree. <a>Más información</a>","localConversation.worktreeBranchSetup.title":"Trabajar aquí","localConversationPage.addWorktreeToSidebar.tooltip":"Guarda como proyecto para poder iniciar nuevos hilos desde este worktree","localConversationPage.addWorktreeToSidebarError":"No se ha podido añadir el proyecto","localConversationPage.commitAndCreatePrModal.errorTitle":"Error al confirmar y crear la solicitud de extracción","localConversationPage.commitAndCreatePrModal.successTitle":"Confirmado y solicitud de extracción creada","localConversationPage.commitAndPushModal.errorTitle":"Se ha producido un error al confirmar y enviar","localConversationPage.commitAndPushModal.successTitle":"Cambios confirmados y enviados","localConversationPage.commitCreatePr.open":"Abrir solicitud de extracción","localConversationPage.commitCreatePr.successTitle":"Solicitud de extracción creada con tus últimos cambios","localConversationPage.createBranchButtonLabel":"Rama aquí","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Crear solicitud de extracción","localConversationPage.createPrModal.createDescription":"Abrir una solicitud de extracción para tus últimos cambios.","localConversationPage.createPrModal.errorTitle":"Se ha producido un error en la solicitud de extracción","localConversationPage.createPrModal.headBranch":"Rama de origen","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Abrir solicitud de extracción","localConversationPage.createPrModal.successTitle":"Solicitud de extracción creada","localConversationPage.createPrModal.title":"Crear solicitud de extracción","localConversationPage.createPrModal.viewDescription":"Ya existe una solicitud de extracción para esta rama.","localConversationPage.createPrModal.viewTitle":"Solicitud de extracción lista","localConversationPage.createPullRequestAuthGh":"Autentica GitHub CLI: ejecuta `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Información de la rama no disponible","localConversationPage.createPullRequestButtonLabel":"Crear solicitud de extracción","localConversationPage.createPullRequestButtonLabel.loading":"Creando solicitud de extracción...","localConversationPage.createPullRequestDefaultBranchMissing":"Información de la rama predeterminada no disponible","localConversationPage.createPullRequestError":"No se ha podido crear la solicitud de extracción","localConversationPage.createPullRequestExistingPullRequest":"Ya existe una solicitud de extracción para esta rama","localConversationPage.createPullRequestGhStatusMissing":"Cargando el estado de GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Instala GitHub CLI (gh) para crear solicitudes de extracción","localConversationPage.createPullRequestNoRepo":"No se ha encontrado ningún repositorio git","localConversationPage.createPullRequestPushStatusMissing":"Cargando el estado de envío…","localConversationPage.createPullRequestSetUpstream":"Envía esta rama antes de crear una solicitud de extracción","localConversationPage.createPullRequestSuccessToast":"Solicitud de extracción creada","localConversationPage.createPullRequestSwitchBranch":"Cambia a una rama de funcionalidad antes de crear una solicitud de extracción","localConversationPage.error.render":"Se ha producido un error al mostrar la conversación local","localConversationPage.error.toast":"No se ha encontrado la conversación","localConversationPage.forcePushError":"Error al forzar el envío","localConversationPage.generatePullRequestMessageError":"No se ha podido generar el título y la descripción de la solicitud de extracción","localConversationPage.generatePullRequestMessageFailed":"No se ha podido generar el título y la descripción de la solicitud de extracción.","localConversationPage.gitActionResult.branch":"Rama","localConversationPage.gitActionResult.cancel":"Cancelar","localConversationPage.gitActionResult.close":"Cerrar","localConversationPage.gitActionResult.tryAgain":"Volver a intentarlo","localConversationPage.gitActions":"Acciones de git","localConversationPage.newChat":"Nuevo chat","localConversationPage.openInTarget":"Abrir en","localConversationPage.openPrimaryTarget":"Abrir","localConversationPage.planItemsCompleted":"{completedItems} de {totalItems, plural, one {# tarea completada} many {# tareas completadas} other {# tareas completadas}}","localConversationPage.pushAuthError":"Error al enviar: se requiere autenticación","localConversationPage.pushBranchMissing":"Información de la rama no disponible","localConversationPage.pushButtonLabel":"Notificaciones","localConversationPage.pushButtonLabel.loading":"Enviando...","localConversationPage.pushError":"Se ha producido un error al enviar los cambios","localConversationPage.pushModal.branchLabel":"Rama","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Cancelar","localConversationPage.pushModal.confirm":"Notificaciones","localConversationPage.pushModal.description":"Enviar tus últimas confirmaciones al repositorio remoto.","localConversationPage.pushModal.errorTitle":"Se ha producido un error al enviar","localConversationPage.pushModal.forcePush":"Forzar envío","localConversationPage.pushModal.successTitle":"Envío completado","localConversationPage.pushModal.title":"Enviar cambios","localConversationPage.pushModal.tryAgain":"Volver a intentarlo","localConversationPage.pushNoUpstream":"Establece una rama ascendente antes de enviar esta rama","localConversationPage.pushNoUpstreamError":"Error al enviar: no hay configurada ninguna rama de seguimiento","localConversationPage.pushNothingToPush":"No hay nuevas confirmaciones para enviar","localConversationPage.pushRemoteChangedError":"Error al enviar: el repositorio remoto contiene nuevas confirmaciones","localConversationPage.pushRemoteRejectedError":"El repositorio remoto rechazó el envío","localConversationPage.pushStatusMissing":"Cargando el estado de envío…","localConversationPage.pushSuccessToast":"Cambios enviados","localConversationPage.viewPullRequestButtonLabel":"Ver solicitud de extracción","localConversationPage.viewPullRequestButtonLabel.loading":"Cargando solicitud de extracción...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# archivo} many {# archivos} other {# archivos}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} many {# listas} other {# listas}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# búsqueda} many {# búsquedas} other {# búsquedas}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Explorando","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Explorado","localConversationTurn.exploration.accordion.header.complete.withCounts":"Explorados {counts}","localConversationTurnStory.showContent":"Mostrar contenido","localConversationTurnStory.streamContent":"Transmitir contenido","localConversationTurnStory.toggleReasoning":"Mostrar razonamiento","localTaskRow.archiveError":"Se ha producido un error al archivar la conversación","localTaskRow.resumeError":"Se ha producido un error al reanudar la tarea","mermaidDiagram.ariaLabel":"Diagrama Mermaid","mermaidDiagram.copySource":"Copiar diagrama de Mermaid","mermaidDiagram.originalCode":"Código fuente Mermaid","notifications.permissions.description":"Mostrar avisos cuando se requieran permisos de notificación","notifications.permissions.label":"Habilitar notificaciones de permisos","notifications.turnMode.always":"Siempre","notifications.turnMode.description":"Establecer cuándo Codex te avisa de que ha terminado","notifications.turnMode.label":"Activar notificaciones de finalización","notifications.turnMode.off":"Nunca","notifications.turnMode.unfocused":"Solo cuando no esté en primer plano","patchApprovalRequest.approve":"Aprobar","patchApprovalRequest.menu.allowAlways":"Sí, y no vuelvas a preguntar en esta sesión","patchApprovalRequest.menu.allowForSession":"Sí, y no vuelvas a preguntar en esta sesión","patchApprovalRequest.menu.allowOnce":"Sí","patchApprovalRequest.prompt":"¿Quieres aplicar estos cambios?","patchApprovalRequest.reject":"No","patchApprovalRequest.waitingForApproval":"Esperando aprobación para editar archivos","pendingRequest.approvalExec.collapse":"Contraer","pendingRequest.approvalExec.expand":"Ampliar","pendingRequestStory.toastAnswer":"Respuesta: {answer}","pendingRequestStory.toastApprovalTitle":"Respuesta de aprobación","pendingRequestStory.toastFollowupPrompt":"Indicación: {prompt}","pendingRequestStory.toastFollowupTitle":"Seguimiento enviado","pendingRequestStory.toastNoAnswers":"No se han proporcionado respuestas","pendingRequestStory.toastQuestion":"Pregunta: {question}","pendingRequestStory.toastUnknownDecision":"Desconocido","pendingRequestStory.toastUserInputTitle":"Respuestas enviadas","quickAction.request.codeReview.branches.new":"Revisa los cambios en {from} con respecto a {to}","quickAction.request.codeReview.uncommitted.new":"Revisa mis cambios no confirmados","reasoningItem.thinking":"Pensando","reasoningItem.thought":"Pensado","reasoningItem.thoughtWithElapsed":"Pensamiento de {elapsed}","recentConversations.title":"Conversaciones recientes","recentTasks.worktreeInitFailedTitle":"Se ha producido un error al iniciar worktree","recentTasks.worktreeSettingUpTitle":"Configurando worktree","requestInputPanel.continue":"Continuar","requestInputPanel.dismiss":"Ignorar","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Escribe aquí","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"No, y dile a Codex qué debe hacer de forma diferente","requestInputPanel.selectedBadge":"Seleccionado","requestInputPanel.skip":"Omitir","requestInputPanel.submit":"Enviar","review.commit.ariaLabel.includeUnstaged":"Incluir sin preparar","review.commit.buttonLabel":"Confirmar","review.commit.disabled.committing":"Confirmando…","review.commit.disabled.loadingDiff":"Cargando diferencias…","review.commit.disabled.missingContext":"Añade algo de contexto para generar un mensaje de confirmación","review.commit.disabled.noChanges":"No hay cambios que confirmar","review.commit.disabled.noSelection":"Selecciona los cambios que quieres confirmar","review.commit.disabled.unavailable":"La confirmación no está disponible en este momento","review.commit.error":"No se han podido confirmar los cambios","review.commit.form.changesToBeCommitted":"cambios","review.commit.form.commitTo":"Rama","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuar","review.commit.form.title":"Confirmar tus cambios","review.commit.generate.emptyResponse":"No se ha podido generar un mensaje de confirmación.","review.commit.generate.failed":"No se ha podido generar el mensaje de confirmación: {error}","review.commit.generate.missingPrompt":"Añade algo de contexto para generar un mensaje de confirmación.","review.commit.includeUnstaged":"Incluir sin preparar","review.commit.loading.description":"Un momento, esto puede tardar un poco…","review.commit.loading.step.commit.done":"Cambios confirmados","review.commit.loading.step.commit.pending":"Confirmando cambios","review.commit.loading.step.createPr.done":"Solicitud de extracción creada","review.commit.loading.step.createPr.pending":"Creando una solicitud de extracción","review.commit.loading.step.push.done":"Enviado a la rama {branch}","review.commit.loading.step.push.pending":"Enviado a la rama {branch}","review.commit.loading.title.commit":"Confirmando cambios","review.commit.loading.title.createPr":"Creando una solicitud de extracción","review.commit.loading.title.push":"Enviando cambios","review.commit.messageLabel":"Mensaje de commit","review.commit.messagePlaceholder":"Deja en blanco para generar automáticamente un mensaje de confirmación","review.commit.nextSteps":"Siguientes pasos","review.commit.nextSteps.commit":"Confirmar","review.commit.nextSteps.commitAndCreate":"Confirmar cambios y crear solicitud de extracción","review.commit.nextSteps.commitAndPush":"Confirmar cambios y enviar","review.commit.nextSteps.prRequiresGh":"Requiere la CLI de GitHub: {command}","review.commit.rows.changes":"cambios","review.commit.rows.commitCount":"{count, plural, one {# confirmación} many {# confirmaciones} other {# confirmaciones}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# confirmación} many {# confirmaciones} other {# confirmaciones}} y {stats}","review.commit.rows.fileCount":"{count, plural, one {# archivo} many {# archivos} other {# archivos}}","review.commit.state.error.body":"Se ha producido un error al confirmar. Comprueba el estado de git y vuelve a intentarlo.","review.commit.state.error.title":"Error al confirmar","review.commit.state.success.title":"Cambios confirmados","review.commit.untracked.loadingStats":"Cargando estadísticas de diff sin seguimiento...","reviewFindingAttachments.count":"{count, plural, one {# resultado} many {# resultados} other {# resultados}}","settings.agent.configuration.configToml":"archivo","settings.agent.configuration.configToml.description":"Edita tu configuración para personalizar el comportamiento del agente","settings.agent.configuration.configToml.docs":"Documentos","settings.agent.configuration.configToml.restartNote":"Reinicia Codex tras editar para aplicar los cambios","settings.agent.configuration.subtitle":"Estos ajustes se aplican en cualquier lugar donde se use Codex","settings.automations.banner.danger":"Las automatizaciones se ejecutan con tus ajustes predeterminados del entorno aislado, que actualmente están configurados como «Acceso completo». Ejecutar automatizaciones en segundo plano con acceso completo conlleva un riesgo elevado, ya que Codex puede modificar archivos, ejecutar comandos y acceder a la red sin pedir permiso. Considera actualizar los ajustes del entorno aislado a escritura en el área de trabajo y usar <rulesDocsLink>reglas</rulesDocsLink> para definir de forma selectiva qué comandos puede ejecutar el agente con acceso completo.","settings.automations.banner.defaultHowTo.default":"Las automatizaciones se ejecutan con tus ajustes predeterminados del entorno aislado. Las llamadas a herramientas fallarán si requieren modificar archivos fuera del área de trabajo, acceder a la red o trabajar con aplicaciones de tu ordenador. Puedes permitir de forma selectiva comandos fuera del entorno aislado usando <rulesDocsLink>rules</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Las automatizaciones se ejecutan con tus ajustes predeterminados del entorno aislado, que están configurados como solo lectura. Las llamadas a herramientas fallarán si requieren modificar archivos, acceder a la red o trabajar con aplicaciones de tu ordenador. Considera actualizar los ajustes del entorno aislado a escritura en el área de trabajo.","settings.automations.cancel":"Cancelar","settings.automations.create":"Crear","settings.automations.cwdEmpty":"No hay carpetas de proyecto disponibles","settings.automations.cwdLabel":"Proyectos","settings.automations.cwdPlaceholder":"Elegir una carpeta","settings.automations.cwdSubtitle":"Si quieres que una automatización se ejecute en una rama concreta, puedes indicarlo en la indicación.","settings.automations.delete":"Eliminar","settings.automations.dialog.editTitle":"Editar automatización","settings.automations.dialog.newTitle":"Nueva automatización","settings.automations.dialog.subtitle":"Automatiza tareas recurrentes en segundo plano. Codex añade resultados a la bandeja de entrada o archiva automáticamente la tarea si no hay nada que informar. <learnMoreLink>Más información</learnMoreLink>.","settings.automations.dialog.title":"Crear automatización","settings.automations.executionCopy.git":"Las automatizaciones se ejecutan en segundo plano en worktrees dedicados.","settings.automations.executionCopy.nonGit":"Las automatizaciones en proyectos sin control de versiones se ejecutan directamente en el directorio del proyecto. Considera usar Git para habilitar la ejecución en worktrees en segundo plano.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Cargando…","settings.automations.nameLabel":"Nombre","settings.automations.namePlaceholder":"Comprobar incidencias de Sentry","settings.automations.pause":"Pausa","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"buscar bloqueos en $Sentry","settings.automations.resume":"Reanudar","settings.automations.rruleSummaryFallback":"Calendario personalizado","settings.automations.runNow":"Probar","settings.automations.save":"Guardar","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Entre semana","settings.automations.scheduleBadge.weekends":"Fines de semana","settings.automations.scheduleHeader":"Calendario","settings.automations.scheduleHours":"horas","settings.automations.scheduleLabel":"Ejecutar cada","settings.automations.scheduleMode.daily":"Diariamente","settings.automations.scheduleMode.interval":"Intervalo","settings.automations.scheduleModeLabel":"Tipo de calendario","settings.automations.scheduleSummary.daily":"Diariamente a las {time}","settings.automations.scheduleSummary.interval":"Cada {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# día} many {# días} other {# días}}","settings.automations.scheduleSummary.intervalDays":"{interval} los {days}","settings.automations.scheduleSummary.intervalHourly":"Cada hora","settings.automations.scheduleSummary.singleDay":"{day} a las {time}","settings.automations.scheduleSummary.weekdays":"Entre semana a las {time}","settings.automations.scheduleSummary.weekdaysLabel":"entre semana","settings.automations.scheduleSummary.weekends":"Fines de semana a las {time}","settings.automations.scheduleSummary.weekendsLabel":"fines de semana","settings.automations.scheduleSummary.weekly":"{days} a las {time}","settings.automations.scheduleWeekdays":"Activado","settings.automations.weekdayState.excluded":"Excluido","settings.automations.weekdayState.included":"Incluido","settings.conversationDetail.steps":"Pasos","settings.conversationDetail.steps.description":"Ocultar comandos y resultados","settings.conversationDetail.stepsWithCommands":"Pasos con comandos de código","settings.conversationDetail.stepsWithCommands.description":"Mostrar comandos, contraer resultados","settings.conversationDetail.stepsWithOutput":"Pasos con salida de código","settings.conversationDetail.stepsWithOutput.description":"Mostrar comandos y expandir resultados","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"No hay chats archivados.","settings.dataControls.archivedChats.error":"No se han podido cargar los chats archivados.","settings.dataControls.archivedChats.loading":"Cargando chats archivados...","settings.dataControls.archivedChats.unarchive":"Desarchivar","settings.dataControls.archivedChats.unarchiveError":"No se ha podido desarchivar el chat","settings.dataControls.archivedChats.unarchiveSuccess":"Hilo desarchivado. <viewNowLink>Ver ahora</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Hilo desarchivado.","settings.dataControls.archivedChats.untitled":"Chat sin título","settings.dataControls.archivedChats.viewNow":"Ver ahora","settings.editRow.headerPlaceholder":"Clave","settings.editRow.removeEntry":"Quitar entrada","settings.editRow.valuePlaceholder":"Valor","settings.general.appearance":"Apariencia","settings.general.appearance.codeFont":"Fuente del código","settings.general.appearance.codeFont.description":"Ajustar la fuente y el tamaño usados para el código en los chats y las diferencias","settings.general.appearance.codeFontFamily":"Familia tipográfica del código","settings.general.appearance.codeFontSize":"Tamaño de fuente del código","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Hacer que las ventanas usen un fondo sólido en lugar de la translucidez del sistema","settings.general.appearance.opaqueWindows.label":"Usar fondo de ventana opaco","settings.general.appearance.sansFontFamily":"Familia tipográfica Sans","settings.general.appearance.sansFontFamily.description":"Ajusta la tipografía usada en la interfaz de Codex","settings.general.appearance.sansFontSize":"Tamaño de fuente Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Mostrar efectos de celebración a pantalla completa mientras GPT-5.3-Codex-Spark ejecuta el primer turno","settings.general.appearance.sparkCelebrationEffects.label":"Efectos de celebración Spark","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Oscuro","settings.general.appearance.theme.description":"Usa claro, oscuro o igual que el sistema","settings.general.appearance.theme.light":"Claro","settings.general.appearance.theme.system":"Sistema","settings.general.appearance.usePointerCursors.description":"Cambiar el cursor a puntero al pasar por encima de elementos interactivos","settings.general.appearance.usePointerCursors.label":"Usar cursores de puntero","settings.general.enterBehavior.description":"Cuando está habilitado, las indicaciones multilínea requieren {modifierSymbol} + Intro para enviarse.","settings.general.enterBehavior.label":"Exigir {modifierSymbol} + Intro para enviar indicaciones largas","settings.general.experimentalFeatures":"Funciones experimentales (beta)","settings.general.experimentalFeatures.empty":"No hay funciones experimentales en fase beta disponibles.","settings.general.experimentalFeatures.loading":"Cargando funciones experimentales...","settings.general.experimentalFeatures.restartNote":"Reinicia Codex para aplicar los cambios de las funciones experimentales","settings.general.experimentalFeatures.toggle":"Alternar {featureName}","settings.general.followUpQueueMode.description":"Poner seguimientos en cola mientras Codex se ejecuta o dirigir la ejecución actual. Pulsa {invertFollowUpShortcutLabel} para hacer lo contrario en un solo mensaje.","settings.general.followUpQueueMode.interrupt":"Dirigir","settings.general.followUpQueueMode.label":"Comportamiento de seguimiento","settings.general.followUpQueueMode.queue":"Cola","settings.general.notifications":"Notificaciones","settings.general.power.preventSleepWhileRunning.description":"Mantén el ordenador activo mientras Codex ejecuta un hilo.","settings.general.power.preventSleepWhileRunning.label":"Evitar la suspensión durante la ejecución","settings.git.branchPrefix.ariaLabel":"Prefijo de rama","settings.git.branchPrefix.description":"Prefijo que se usa al crear nuevas ramas en Codex","settings.git.branchPrefix.label":"Prefijo de rama","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Se ha producido un error al guardar el prefijo de la rama","settings.git.branchPrefix.save.success":"Prefijo de la rama guardado","settings.git.commitInstructions.ariaLabel":"Instrucciones de confirmación","settings.git.commitInstructions.description":"Se ha añadido a las indicaciones para generar el mensaje de confirmación","settings.git.commitInstructions.label":"Instrucciones de confirmación","settings.git.commitInstructions.placeholder":"Añadir indicaciones para el mensaje de confirmación...","settings.git.commitInstructions.save":"Guardar","settings.git.commitInstructions.save.error":"No se han podido guardar las instrucciones de confirmación","settings.git.commitInstructions.save.success":"Instrucciones de solicitud de extracción","settings.git.forcePush.ariaLabel":"Forzar envío siempre","settings.git.forcePush.description":"Usar --force-with-lease al enviar desde Codex","settings.git.forcePush.label":"Forzar envío siempre","settings.git.forcePush.save.disabled":"Forzar envío siempre deshabilitado","settings.git.forcePush.save.enabled":"Forzar envío siempre habilitado","settings.git.forcePush.save.error":"Se ha producido un error al guardar el ajuste de forzar envío","settings.git.prInstructions.ariaLabel":"Instrucciones de solicitud de extracción","settings.git.prInstructions.description":"Añadido al contenido de las solicitudes de extracción creadas por Codex","settings.git.prInstructions.label":"Instrucciones de solicitud de extracción","settings.git.prInstructions.placeholder":"Añadir indicaciones para la solicitud de extracción...","settings.git.prInstructions.save":"Guardar","settings.git.prInstructions.save.error":"No se han podido guardar las instrucciones de la solicitud de extracción","settings.git.prInstructions.save.success":"Instrucciones de solicitudes de extracción guardadas","settings.ide.defaultOpenTarget.description":"Dónde se abren archivos y carpetas de forma predeterminada","settings.ide.defaultOpenTarget.label":"Destino de apertura predeterminado","settings.ide.defaultOpenTarget.placeholder":"No se han encontrado destinos","settings.ide.language.auto":"Detección automática","settings.ide.language.autoOption":"Detección automática","settings.ide.language.description":"Idioma de la interfaz de la aplicación","settings.ide.language.label":"Idioma","settings.ide.language.search":"Buscar idiomas","settings.layout.actionButton":"Reiniciar extensión","settings.layout.actionTitle":"Configuración con acción","settings.layout.fullWidthTitle":"Ajustes (ancho completo)","settings.layout.title":"Configuración","settings.localEnvironments.actions.add":"Añadir una acción","settings.localEnvironments.actions.add.description":"Crear un nuevo comando para ejecutar desde la barra de herramientas.","settings.localEnvironments.actions.add.save":"Guardar","settings.localEnvironments.actions.empty":"Añade una acción para ejecutar comandos desde la barra de herramientas local.","settings.localEnvironments.actions.icon.debug":"Depurar","settings.localEnvironments.actions.icon.run":"Ejecutar","settings.localEnvironments.actions.icon.test":"Probar","settings.localEnvironments.actions.icon.tool":"Herramienta","settings.localEnvironments.actions.item.button.delete":"Eliminar","settings.localEnvironments.actions.item.command":"Script de acción","settings.localEnvironments.actions.item.name":"Nombre","settings.localEnvironments.actions.item.platforms":"Plataformas","settings.localEnvironments.actions.item.platforms.help":"Ejecutar solo en un sistema operativo específico.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Selección de plataforma","settings.localEnvironments.actions.item.platforms.specific":"Específico de la plataforma","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Eliminar","settings.localEnvironments.actions.title":"Acciones","settings.localEnvironments.breadcrumb.back":"Atrás","settings.localEnvironments.breadcrumb.edit":"editar","settings.localEnvironments.breadcrumb.root":"Entornos","settings.localEnvironments.environment.actions.description":"Estas acciones pueden ejecutar cualquier comando y se mostrarán en el encabezado.","settings.localEnvironments.environment.actionsLabel":"Acciones","settings.localEnvironments.environment.create":"Crear un entorno local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Editar entorno local","settings.localEnvironments.environment.empty":"Todavía no hay ningún entorno local configurado para este proyecto.","settings.localEnvironments.environment.name":"Nombre","settings.localEnvironments.environment.setup":"Script de configuración","settings.localEnvironments.environment.setup.description":"Este script se ejecutará al crear el worktree.","settings.localEnvironments.environment.setup.hint":"Se ejecuta en la raíz del proyecto.","settings.localEnvironments.environment.setup.platformOverrides":"Anulaciones de la plataforma","settings.localEnvironments.environment.setup.platformOverrides.add":"Añadir {platform} script de configuración","settings.localEnvironments.environment.setup.platformOverrides.description":"Anula el script predeterminado para sistemas operativos específicos.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Quitar","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Detalles del entorno","settings.localEnvironments.file.missing":"Guarda para crear este archivo por primera vez.","settings.localEnvironments.file.parseError":"No se puede analizar el archivo existente. Al guardarlo, se sobrescribirá. ({error})","settings.localEnvironments.file.path":"Archivo: {path}","settings.localEnvironments.file.readError":"No se han podido cargar los datos del entorno local. ({error})","settings.localEnvironments.file.title":"Archivo del entorno local","settings.localEnvironments.loading.body":"Obteniendo la configuración de tu proyecto.","settings.localEnvironments.loading.title":"Cargando entornos locales","settings.localEnvironments.preview.devOnly":"(solo DEV)","settings.localEnvironments.preview.save":"Guardar","settings.localEnvironments.preview.saveError":"No se ha podido guardar el archivo. ({error})","settings.localEnvironments.preview.title":"Vista previa","settings.localEnvironments.save.disabled.name":"Añadir un nombre de entorno para guardar.","settings.localEnvironments.save.disabled.noChanges":"No hay cambios que guardar.","settings.localEnvironments.save.disabled.saving":"Guardando…","settings.localEnvironments.save.success":"Entorno local guardado","settings.localEnvironments.unavailable.body":"No se ha podido cargar la configuración del entorno local para este proyecto.","settings.localEnvironments.unavailable.title":"Entornos locales no disponibles","settings.localEnvironments.workspace.add":"Añadir proyecto","settings.localEnvironments.workspace.title":"Proyecto","settings.localEnvironments.workspaceSelect.addLabel":"Añadir entorno","settings.localEnvironments.workspaceSelect.description":"Los entornos locales indican a Codex cómo configurar worktrees para un proyecto. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"No hay proyectos todavía. Añade uno para configurar entornos locales.","settings.localEnvironments.workspaceSelect.errorLabel":"El entorno requiere atención","settings.localEnvironments.workspaceSelect.learnMore":"Más información","settings.localEnvironments.workspaceSelect.listLabel":"Proyectos disponibles","settings.localEnvironments.workspaceSelect.loading":"Cargando proyectos.","settings.localEnvironments.workspaceSelect.loadingLabel":"Cargando entorno","settings.localEnvironments.workspaceSelect.title":"Seleccionar un proyecto","settings.localEnvironments.workspaceSelect.viewAction":"Ver","settings.mcp.addServer":"Añadir servidor","settings.mcp.app.configure":"Configurar","settings.mcp.app.connect":"Conectar","settings.mcp.apps.refresh":"Actualizar","settings.mcp.detail.addArgument":"Añadir argumento","settings.mcp.detail.addEnvVar":"Añadir variable de entorno","settings.mcp.detail.addEnvVarPassthrough":"Añadir variable","settings.mcp.detail.args":"Argumentos","settings.mcp.detail.back":"Atrás","settings.mcp.detail.command":"Comando para iniciar","settings.mcp.detail.cwd":"Directorio de trabajo","settings.mcp.detail.docs":"Abrir la documentación de MCP","settings.mcp.detail.docs.link":"Documentos","settings.mcp.detail.envVarPassthrough":"Paso de variables de entorno","settings.mcp.detail.envVars":"Variables del entorno","settings.mcp.detail.http.addEnvHeader":"Añadir variable","settings.mcp.detail.http.addHeader":"Añadir encabezado","settings.mcp.detail.http.bearerToken":"Variable de entorno del token de portador","settings.mcp.detail.http.envHeaders":"Encabezados desde variables de entorno","settings.mcp.detail.http.headers":"Encabezados","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nombre","settings.mcp.detail.save":"Guardar","settings.mcp.detail.switchTransportNotice":"Si quieres cambiar el tipo de servidor MCP, primero desinstálalo.","settings.mcp.detail.titleExisting":"Actualizar MCP {name}","settings.mcp.detail.titleNew":"Conectar a un MCP personalizado","settings.mcp.detail.transport.http":"HTTP con transmisión en tiempo real","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Desinstalar","settings.mcp.empty":"No hay servidores MCP personalizados conectados","settings.mcp.myServers":"Servidores personalizados","settings.mcp.partnerServer.description.figma":"Generar mejor código incorporando todo el contexto de Figma","settings.mcp.partnerServer.description.github":"Integrar con las API de GitHub para automatizar flujos de trabajo y extraer datos","settings.mcp.partnerServer.description.linear":"Integrar con el seguimiento de incidencias y la gestión de proyectos de Linear","settings.mcp.partnerServer.description.notion":"Leer documentación, actualizar páginas, gestionar tareas","settings.mcp.partnerServer.description.playwright":"Integrar con la automatización del navegador para implementar el diseño y probar la interfaz.","settings.mcp.partnerServer.install":"Instalar","settings.mcp.partnerServer.installAndAuthenticate":"Instalar y autenticar","settings.mcp.partnerServer.logoAlt":"{label} logo","settings.mcp.partnerServer.manage":"Gestionar","settings.mcp.partnerServer.vendor":"por {vendor}","settings.mcp.recommendedServers":"Servidores recomendados","settings.mcp.restartApp":"Reiniciar","settings.mcp.restartExtension":"Reiniciar extensión","settings.mcp.server.enable":"Habilitar","settings.mcp.server.login":"Autenticar","settings.mcp.server.settings":"Configuración","settings.multiselect.createOption":"Crear «{value}»","settings.multiselect.removeOption":"Quitar","settings.nav.account":"Cuenta","settings.nav.agent":"Configuración","settings.nav.ariaLabel":"Configuración","settings.nav.back":"Volver a la aplicación","settings.nav.data-controls":"Hilos archivados","settings.nav.environments":"Entornos en la nube","settings.nav.externalTooltip":"[alpha] Se abre en el navegador","settings.nav.general-settings":"General","settings.nav.git-settings":"Git","settings.nav.local-environments":"Entornos","settings.nav.mcp-settings":"Servidores MCP","settings.nav.notImplemented":"[alpha] No está disponible en Alpha","settings.nav.personalization":"Personalización","settings.nav.skills-settings":"Habilidades","settings.nav.usage-analytics":"Uso y analítica","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Atrás","settings.openSourceLicenses.loading":"Cargando…","settings.openSourceLicenses.missing":"No se han encontrado avisos de terceros.","settings.openSourceLicenses.notSupported":"No disponible en este host.","settings.openSourceLicenses.rowDescription":"Avisos de terceros para dependencias incluidas","settings.openSourceLicenses.rowLabel":"Licencias de código abierto","settings.openSourceLicenses.subtitle":"Avisos de terceros para las dependencias incluidas en esta aplicación","settings.openSourceLicenses.title":"Licencias de código abierto","settings.openSourceLicenses.view":"Ver","settings.personalization.agents.description":"Edita las instrucciones que adaptan Codex a ti. {learnMore}","settings.personalization.agents.learnMore":"Más información","settings.personalization.agents.loadError":"No se ha podido cargar agents.md.","settings.personalization.agents.loading":"Cargando agents.md…","settings.personalization.agents.placeholder":"Añade tus instrucciones personalizadas…","settings.personalization.agents.retry":"Reintentar","settings.personalization.agents.save":"Guardar","settings.personalization.agents.save.error":"No se ha podido guardar agents.md.","settings.personalization.agents.save.success":"agents.md guardado","settings.personalization.agents.title":"Instrucciones personalizadas","settings.personalization.personality.description":"Elige un tono predeterminado para las respuestas de Codex","settings.personalization.personality.label":"Personalidad","settings.sample.contentBody":"Usa este diseño para crear tus paneles de ajustes con un espaciado coherente.","settings.sample.contentTitle":"Bloque de contenido de ejemplo","settings.section.account":"Cuenta","settings.section.agent":"Configuración","settings.section.data-controls":"Hilos archivados","settings.section.environments":"Entornos en la nube","settings.section.external":"Se abre en tu navegador durante la fase alfa","settings.section.general-settings":"General","settings.section.git-settings":"Git","settings.section.local-environments":"Entornos","settings.section.mcp-settings":"Servidores MCP","settings.section.mcp-settings.docs":"Documentos","settings.section.mcp-settings.subtitle":"Conecta herramientas externas y orígenes de datos.","settings.section.personalization":"Personalización","settings.section.skills-settings":"Habilidades","settings.section.unavailable":"Todavía no disponible en la fase alfa","settings.section.usage-analytics":"Uso y analítica","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"Elegir cuánta salida de comandos mostrar en los hilos","settings.threadDetail.label":"Detalle del hilo","settings.worktrees.conversation.untitled":"Conversación sin título","settings.worktrees.delete.error":"Se ha producido un error al eliminar el worktree","settings.worktrees.empty.body":"Los Worktrees creados por Codex aparecerán aquí.","settings.worktrees.empty.title":"Aún no hay worktrees","settings.worktrees.error.body":"Algo ha ido mal al cargar los worktrees.","settings.worktrees.error.retry":"Reintentar","settings.worktrees.error.title":"No se han podido cargar los worktrees","settings.worktrees.loading.body":"Obteniendo detalles del worktree.","settings.worktrees.loading.title":"Cargando worktrees","settings.worktrees.repository.loading":"Cargando metadatos del repositorio…","settings.worktrees.repository.unknown":"Repositorio desconocido","settings.worktrees.row.conversations":"Conversaciones","settings.worktrees.row.conversations.empty":"No hay conversaciones vinculadas a este worktree.","settings.worktrees.row.conversations.loading":"Cargando conversaciones…","settings.worktrees.row.delete":"Eliminar","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Añadir nuevo proyecto","sidebarElectron.archiveThread":"Archivar hilo","sidebarElectron.archiveThreadError":"No se ha podido archivar el hilo","sidebarElectron.collapseFolder":"Contraer carpeta","sidebarElectron.createStableWorktree.dialog.cancel":"Cancelar","sidebarElectron.createStableWorktree.dialog.create":"Crear","sidebarElectron.debugNavLink":"Depurar","sidebarElectron.editWorkspaceRootOptionName":"Editar nombre","sidebarElectron.expandFolder":"Expandir carpeta","sidebarElectron.groupByMenu.recency":"Lista cronológica","sidebarElectron.groupByMenu.title":"Organizar","sidebarElectron.groupByMenu.workspace":"Por proyecto","sidebarElectron.inboxRouteNavLink":"Automatizaciones","sidebarElectron.markThreadUnread":"Marcar como no leído","sidebarElectron.missingWorkspaceRoot":"La carpeta de este proyecto se ha eliminado o movido","sidebarElectron.newThread":"Nuevo hilo","sidebarElectron.newThreadInGroup":"Iniciar un hilo nuevo en {folder}","sidebarElectron.noRecentThreads":"No hay hilos recientes","sidebarElectron.noTasks":"No hay hilos","sidebarElectron.noTasks.start":"Añadir un proyecto nuevo","sidebarElectron.noTasksWithFilter":"No hay hilos que coincidan con los filtros","sidebarElectron.pinnedThreads":"Hilos anclados","sidebarElectron.recentNavLink":"Hilos","sidebarElectron.recentThreads":"Hilos recientes","sidebarElectron.removeWorkspaceRootOption":"Quitar","sidebarElectron.renameThread":"Cambiar nombre del hilo","sidebarElectron.renameThreadDialogAriaLabel":"Título del hilo","sidebarElectron.renameThreadDialogCancel":"Cancelar","sidebarElectron.renameThreadDialogPlaceholder":"Añadir un título…","sidebarElectron.renameThreadDialogSave":"Guardar","sidebarElectron.renameThreadDialogSubtitle":"Procura que sea breve y fácil de identificar.","sidebarElectron.renameThreadDialogTitle":"Cambiar nombre del hilo","sidebarElectron.renameThreadError":"No se ha podido cambiar el nombre del hilo","sidebarElectron.renameWorkspaceRootOptionLabel":"Nombre para mostrar","sidebarElectron.showLess":"Mostrar menos","sidebarElectron.showMenu.all":"Todos los hilos","sidebarElectron.showMenu.relevant":"Relevante","sidebarElectron.showMenu.relevantHint":"Mostrar solo los hilos recientes de la rama actual, los worktrees u otros hilos que requieran tu atención","sidebarElectron.showMenu.title":"Mostrar","sidebarElectron.showMenu.tooltip":"Filtrar, ordenar y organizar hilos","sidebarElectron.showMenu.trigger":"Filtrar hilos de la barra lateral","sidebarElectron.showMore":"Mostrar más","sidebarElectron.skillsRouteNavLink":"Habilidades","sidebarElectron.sortMenu.created":"Creado","sidebarElectron.sortMenu.title":"Ordenar por","sidebarElectron.sortMenu.updated":"Actualizado","sidebarElectron.taskNavigation":"Carpetas de automatizaciones","sidebarElectron.tasksInFolder":"Automatizaciones en {folder}","sidebarElectron.workspaceOptions":"Acciones del proyecto para {folder}","sidebarElectron.worktreeGroupTooltip":"Esto es un worktree de git","skills.appsPage.createSkill":"Nueva habilidad","skills.appsPage.empty.skills":"No se han encontrado habilidades","skills.appsPage.search.skills":"Buscar habilidades","skills.appsPage.search.skills.label":"Buscar habilidades","skills.appsPage.section.installedApps":"Instalado","skills.appsPage.section.skills":"Habilidades","skills.appsPage.subheading":"Dale superpoderes a Codex. <link>Más información</link>","skills.appsPage.tab.recommended":"Recomendado","skills.appsPage.tab.skills":"Habilidades","skills.card.contentsError":"No se puede cargar el contenido de las habilidades.","skills.card.disable":"Deshabilitar","skills.card.disableSuccess":"Habilidad {skillName} deshabilitada","skills.card.disabledBadge":"Deshabilitado","skills.card.enable":"Habilitar","skills.card.enableSuccess":"Habilidad {skillName} habilitada","skills.card.loadingContents":"Cargando contenidos de la habilidad","skills.card.more":"Más acciones","skills.card.open":"Abrir","skills.card.removeFailed":"No se ha podido desinstalar la habilidad","skills.card.removeSuccess":"Habilidad {skillName} desinstalada","skills.card.toggleEnabledError":"Se ha producido un error al actualizar la habilidad","skills.card.try":"Probar","skills.card.trySkill":"Probar habilidad","skills.card.uninstall":"Desinstalar","skills.hero.dotLabel":"Ir a la diapositiva {index}","skills.hero.next":"Siguiente habilidad destacada","skills.hero.trySkill":"Probar habilidad","skills.page.createSkill":"Nueva habilidad","skills.page.empty":"No se han encontrado habilidades","skills.page.filteredEmpty":"Ninguna habilidad coincide con tus filtros","skills.page.filteredEmptyDescription":"Intenta ajustar tus filtros de búsqueda o alcance","skills.page.heading":"Habilidades","skills.page.loading":"Cargando habilidades…","skills.page.refreshSkills":"Actualizar","skills.page.refreshSkillsToUseNew":"Actualizar para usar la(s) nueva(s) habilidad(es)","skills.page.search":"Buscar habilidades","skills.page.search.label":"Buscar habilidades","skills.page.subheading":"Dale superpoderes a Codex. <link>Más información</link>","skills.preview.copyPrompt":"Copiar indicación","skills.preview.examplePrompt":"Ejemplo de indicación","skills.recommended.error":"No se han podido cargar las habilidades recomendadas","skills.recommended.install":"Instalar","skills.recommended.installSkill":"Instalar habilidad","skills.recommended.installSuccess":"Habilidad {skillName} instalada","skills.recommended.installed":"Instalado","skills.scope.admin":"Administrador","skills.scope.adminInstalled":"Administrador instalado","skills.scope.builtIn":"Sistema","skills.scope.personal":"Personal","skills.scope.repo":"Repo","skills.scope.system":"Sistema","skills.scope.team":"Equipo","skills.scope.user":"Usuario","skills.section.installed":"Instalado","skills.section.recommended":"Recomendado","story.slidingToggle.existing":"Existente","story.slidingToggle.fromLocal":"Desde local","story.slidingToggle.new":"Nuevo","story.slidingToggle.toLocal":"A local","terminal.close":"Cerrar terminal","terminal.title":"Terminal","thinkingShimmer.default":"Pensando","threadEnvIcon.cloudTooltip":"Esta conversación se está ejecutando en Codex Cloud.","threadEnvIcon.localTooltip":"Esta conversación se está ejecutando localmente.","threadEnvIcon.worktreeTooltip":"Esta conversación se ejecuta en un worktree local de git.","threadHeader.archiveConfirmCancel":"Cancelar","threadHeader.archiveConfirmConfirm":"Archivar","threadHeader.archiveConfirmSubtitle":"Puedes encontrarlo más adelante en tus hilos archivados.","threadHeader.archiveConfirmTitle":"¿Archivar hilo?","threadHeader.copyAppLink":"Copiar enlace profundo","threadHeader.copySessionId":"Copiar ID de sesión","threadHeader.copyWorkingDirectory":"Copiar directorio de trabajo","threadHeader.forkIntoLocal":"Bifurcar a local","threadHeader.forkIntoWorktree":"Bifurcar a un nuevo worktree","threadHeader.forkPendingWorktreePrompt":"Bifurcar esta conversación a un nuevo worktree.","threadHeader.forkPendingWorktreeTitle":"Conversación bifurcada","threadHeader.forkThreadError":"Se ha producido un error al bifurcar la conversación","threadHeader.forkThreadRequiresGitRepo":"Bifurcar a un nuevo worktree requiere un repositorio git","threadHeader.moreActions":"Acciones del hilo","threadPage.newThread":"Nuevo hilo","threadPage.runAction.changeEnvironment":"Cambiar entorno","threadPage.runAction.dropdown.titleWithEnvironment":"Acciones de {environmentName}","threadPage.runAction.environmentSelector.label":"Elegir entorno","threadPage.runAction.label":"Ejecutar","threadPage.runAction.missing.label":"Configurar una acción de ejecución","threadPage.runAction.setup.commandLabel":"Comando para ejecutar","threadPage.runAction.setup.description":"Indica a Codex cómo instalar las dependencias e iniciar tu aplicación.","threadPage.runAction.setup.editMore":"Configuración de entorno","threadPage.runAction.setup.placeholder":"Por ejemplo: npm install npm run","threadPage.runAction.setup.submit":"Guardar y ejecutar","threadPage.runAction.setup.title":"Ejecutar","threadPage.runAction.tooltip.withEnvironment":"Acciones de {environmentName}","threadPage.toggleDiffPanel":"Alternar panel de diferencias","threadPage.toggleTerminal":"Alternar terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Abrir carpeta","toolSummaryForCmd.exploredFiles":"<verb>Archivos</verb> enumerados","toolSummaryForCmd.exploredFilesInPath":"<verb>Archivos</verb> enumerados en {path}","toolSummaryForCmd.exploringFiles":"<verb>Enumerando</verb> archivos","toolSummaryForCmd.exploringFilesInPath":"<verb>Enumerando</verb> archivos en {path}","toolSummaryForCmd.ranGenericCommand":"<status>Comando ejecutado</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ejecutado</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Leer</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Ejecutando comando</status>{timer}","toolSummaryForCmd.runningTimer":"para {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Se ha buscado</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Se han buscado</verb> archivos","toolSummaryForCmd.searchedForInPath":"<verb>Se ha buscado</verb> {query} en {path}","toolSummaryForCmd.searchingFor":"<verb>Buscando</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Buscando</verb> archivos","toolSummaryForCmd.searchingForInPath":"<verb>Buscando</verb> {query} en {path}","traceRecording.details.noteLabel":"¿Qué hacías cuando ocurrió esto? (opcional)","traceRecording.details.notePlaceholder":"Abrí un hilo grande y luego cambié de pestaña varias veces...","traceRecording.details.submit":"Enviar registro","traceRecording.details.subtitle":"Podemos enviar este registro de perfil para ayudar a diagnosticar problemas de rendimiento.","traceRecording.details.title":"¿Enviar registro de perfil?","traceRecording.progress.subtitle":"Mantener Codex abierto mientras se completa.","traceRecording.saving.title":"Guardando registro...","traceRecording.startDetails.cancel":"Cancelar","traceRecording.startDetails.submit":"Aceptar e iniciar grabación","traceRecording.startDetails.subtitle":"Después de pulsar «Aceptar», reproduce el problema de rendimiento y luego pulsa el indicador rojo flotante para detener la grabación y revisar el registro.","traceRecording.startDetails.title":"Cómo funciona la grabación de registros","traceRecording.stopButton.ariaLabel":"Detener la grabación del registro","traceRecording.upload.successToast":"Registro de perfil enviado.","traceRecording.uploading.title":"Cargando registro...","wham.diff.addComment":"Añadir comentario","wham.diff.binaryFile":"Archivo binario no mostrado","wham.diff.noContent":"Sin contenido","wham.fileTag.deleted":"Se ha eliminado.","wham.fileTag.new":"Nuevo","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} m","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} s","wham.formattedRelativeDateTime.compactYearsAgo":"{value} a","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Trabajando en tu tarea","wham.whamProposedTask.title":"Tarea sugerida","wham.whamProposedTask.useSuggestion":"Usar sugerencia","workspaceRootDialog.addError":"No se ha podido añadir el proyecto","workspaceRootDialog.cancel":"Cancelar","workspaceRootDialog.confirmAdd":"Añadir proyecto","workspaceRootDialog.confirmPick":"Usar proyecto","workspaceRootDialog.description":"Introduce una ruta en {host} para usarla como proyecto.","workspaceRootDialog.pathLabel":"Ruta del proyecto","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Añadir ruta del proyecto","workspaceRootDialog.title.pick":"Elegir ruta del proyecto","worktreeInitV2.cancel":"Cancelar","worktreeInitV2.notification.failedTitle":"Error en la configuración del worktree.","worktreeInitV2.output.empty":"Esperando la salida…","worktreeInitV2.status.error":"Error en la configuración del worktree.","worktreeInitV2.status.running":"Creando un worktree y ejecutando la configuración.","worktreeInitV2.status.runningFork":"Creando un worktree para bifurcar esta conversación.","worktreeInitV2.status.success":"Worktree listo.","worktreeInitV2.title":"Creando worktree","worktreeInitV2.workLocallyInstead":"Trabajar en local como alternativa","worktreeRestoreBanner.body":"El worktree de este hilo se ha eliminado para ahorrar espacio en disco","worktreeRestoreBanner.missing.body":"El directorio de trabajo de este hilo ya no existe","worktreeRestoreBanner.missing.title":"Falta el directorio de trabajo actual","worktreeRestoreBanner.restore.error":"Se ha producido un error al restaurar el worktree: {message}","worktreeRestoreBanner.restore.success":"Worktree restaurado","worktreeRestoreBanner.restoreCta":"Restaurar worktree","worktreeRestoreBanner.title":"Worktree limpiado"};export{e as default};
+const e={"CopyButton.copyTooltip":"Copiar","app.sidebar.hide":"Ocultar barra lateral","app.sidebar.show":"Mostrar barra lateral","app.sidebar.tooltip":"Alternar barra lateral","appHeader.installUpdate":"Actualizar","appSunset.body":"Esta versión de la aplicación ya no es compatible. Descarga la versión más reciente <here>aquí</here>.","appSunset.title":"Actualización obligatoria","automation.updateDirective.create":"Crear","automation.updateDirective.open":"Abrir","automation.updateDirective.untitled":"Automatización sin título","automation.updateDirective.update":"Actualizar","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# intento} many {# intentos} other {# intentos}}","cloudTaskRow.archiveError":"Se ha producido un error al archivar la tarea","code.diff.requestChange":"Solicitar cambio","code.diffComment.cancel":"Cancelar","code.diffComment.comment":"Comentario","code.diffComment.delete":"Eliminar","code.diffComment.save":"Guardar","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"No se ha informado sobre ningún resultado.","codex.alert.closeAriaLabel":"Cerrar","codex.appUpsellBanner.cbpApi.message":"Crea más rápido con la aplicación Codex. Descárgala ahora o {learnMoreLink}.","codex.appUpsellBanner.download":"Descargar","codex.appUpsellBanner.freeGo.message":"Codex está incluido en tu plan hasta el 2 de marzo. Prueba la aplicación Codex para crear más rápido.","codex.appUpsellBanner.later":"Más tarde","codex.appUpsellBanner.learnMoreLowercase":"más información","codex.appUpsellBanner.new":"Nuevo","codex.appUpsellBanner.proPlusBusiness.message":"Prueba la aplicación Codex con límites de velocidad 2× hasta el 2 de abril. Descárgala ahora o {learnMoreLink}.","codex.appUpsellBanner.title":"Aplicación Codex","codex.applyDropdown.header.changes":"cambios","codex.applyDropdown.header.fileCount":"{count, plural, one {# archivo} many {# archivos} other {# archivos}}","codex.applyDropdown.header.rows":"filas","codex.applyDropdown.header.title":"Aplicar cambios","codex.applyDropdown.header.workspace":"Proyecto","codex.applyDropdown.results.conflicted":"{count, plural, one {1 archivo en conflicto:} many {{count} archivos en conflicto:} other {{count} archivos en conflicto:}}","codex.applyDropdown.results.empty":"No se ha copiado ningún archivo","codex.applyDropdown.results.skipped":"{count, plural, one {1 archivo omitido:} many {{count} archivos omitidos:} other {{count} archivos omitidos:}}","codex.applyOrRevertBanner.apply":"Aplicar","codex.applyOrRevertBanner.applyMessage":"¿Quieres aplicar los cambios y continuar localmente?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Esta tarea se creó en {environment}, así que puede que no se aplique correctamente.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Los cambios se han realizado en {environment}, así que puede que no se apliquen correctamente.","codex.applyOrRevertBanner.reapply":"Volver a aplicar","codex.applyOrRevertBanner.revert":"Revertir","codex.applyOrRevertBanner.revertMessage":"¿Quieres revertir los cambios aplicados?","codex.applyResultsDialog.applied":"Se han aplicado correctamente ({count})","codex.applyResultsDialog.close":"Cerrar","codex.applyResultsDialog.conflicted":"Con conflictos ({count})","codex.applyResultsDialog.noDetails":"No hay detalles del archivo disponibles.","codex.applyResultsDialog.skipped":"Se ha omitido ({count})","codex.applyResultsDialog.title":"Aplicar resultados","codex.archiveInfo":"Ver chats archivados en {dataControlsLink}","codex.archiveInfo.dataControlsLink":"Controles de datos","codex.archiveInfo.electron":"Ver chats archivados en {settingsLink}","codex.archiveInfo.extension":"Ver chats archivados en tu carpeta .codex.","codex.archiveInfo.settingsLink":"Configuración","codex.banner.content.description":"Ejecuta tareas en paralelo, supervisa el progreso desde cualquier lugar y revisa solicitudes de extracción con IA.","codex.banner.content.headline":"Codex lo hace todo.","codex.cloudTaskRow.archiveTask":"Archivar tarea","codex.cloudTaskRow.confirmArchiveTask":"Confirmar","codex.command.feedback":"Opinión","codex.command.findInThread":"Buscar","codex.command.forceReloadSkills":"Forzar recarga de habilidades","codex.command.logOut":"Cerrar sesión","codex.command.manageTasks":"Gestionar tareas","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Atrás","codex.command.navigateForward":"Avanzar","codex.command.newThread":"Nuevo hilo","codex.command.nextThread":"Siguiente hilo","codex.command.openFolder":"Abrir carpeta","codex.command.openSkills":"Ir a habilidades","codex.command.openThreadOverlay":"Separar el hilo","codex.command.personalitySettings":"Personalidad","codex.command.previousThread":"Hilo anterior","codex.command.settings":"Configuración","codex.command.toggleDiffPanel":"Alternar panel de diferencias","codex.command.toggleSidebar":"Alternar barra lateral","codex.command.toggleTerminal":"Alternar terminal","codex.commandGroup.app":"Aplicación","codex.commandGroup.configure":"Configurar","codex.commandGroup.navigation":"Navegación","codex.commandGroup.panels":"Paneles","codex.commandGroup.skills":"Habilidades","codex.commandGroup.thread":"Hilo","codex.commandGroup.workspace":"Proyecto","codex.commandMenu.noResults":"No se han encontrado coincidencias","codex.commandMenu.searchPlaceholder":"Buscar comandos","codex.commandMenu.suggestedGroup":"Sugerido","codex.commandMenu.switchWorkspace":"Cambiar de proyecto","codex.commandMenu.title":"Menú de comandos","codex.common.retry":"Reintentar","codex.composer.searchBranches":"Buscar ramas","codex.dialog.basic.body":"Este es un cuadro de diálogo modal sencillo que usa nuestro contenedor para Radix Dialog.","codex.dialog.basic.cancel":"Cancelar","codex.dialog.basic.confirm":"Confirmar","codex.dialog.basic.open":"Abrir diálogo","codex.dialog.basic.title":"Diálogo de ejemplo","codex.dialog.long.close":"Cerrar","codex.dialog.long.line":"Línea desplazable {index} para mostrar contenido largo dentro del diálogo.","codex.dialog.long.open":"Abrir diálogo largo","codex.dialog.long.title":"Diálogo de contenido largo","codex.dialog.unstyled.body":"Esta historia muestra cómo los componentes que llaman pueden controlar por completo el estilo del contenido del diálogo.","codex.dialog.unstyled.open":"Abrir diálogo sin estilos","codex.dialog.unstyled.title":"Contenido sin estilos","codex.diff.openInEditorPrompt.openButton":"Abrir en el editor","codex.diff.openInEditorPrompt.singleLine":"Este archivo es demasiado grande para mostrarse aquí.","codex.diffView.failedToDecodeBase64Diff":"Se ha producido un error al descodificar la diferencia en base64","codex.diffView.filesChanged":"{fileCount, plural, one {# archivo cambiado} many {# archivos cambiados} other {# archivos cambiados}}","codex.diffView.imagePreviewAlt":"Vista previa de imagen","codex.diffView.imagePreviewEmpty":"Sin imágenes","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Sin datos de diferencia","codex.diffView.pdfPreview.nextPage":"Siguiente página","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Página anterior","codex.diffView.pdfPreviewEmpty":"No hay vista previa del PDF","codex.diffView.pdfPreviewError":"No se puede mostrar la vista previa del PDF","codex.diffView.richPreviewDisable":"Desactivar vista previa enriquecida","codex.diffView.richPreviewEnable":"Activar vista previa enriquecida","codex.diffView.richPreviewLoading":"Cargando vista previa…","codex.diffView.richPreviewToggle":"Alternar vista previa enriquecida","codex.diffView.switchToUnified":"Cambiar a diferencia unificada","codex.environmentSelector.noEnvironment":"Sin entorno","codex.environments.environmentSettings":"Configuración de entorno","codex.environments.learnMore":"Más información","codex.environments.listError":"Se ha producido un error al cargar los entornos.","codex.environments.noEnvironmentsFound":"No se han encontrado entornos","codex.environments.searchError":"Se ha producido un error al buscar los entornos.","codex.errorBoundary.genericError":"Vaya, se ha producido un error","codex.errorBoundary.goHome":"Volver a intentarlo","codex.file.patch.missing":"No se ha podido crear el parche para este archivo.","codex.gallery.automations.cwdLabel":"Proyectos","codex.gallery.automations.nameLabel":"Nombre","codex.gallery.automations.namePlaceholder":"Hacer un resumen de una tarea","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Describe lo que debe hacer Codex","codex.gallery.dialogs.automation.label":"Diálogo de automatización","codex.gallery.dialogs.basic.body":"Usa este diseño para confirmaciones sencillas o formularios breves.","codex.gallery.dialogs.basic.cancel":"Cancelar","codex.gallery.dialogs.basic.confirm":"Confirmar","codex.gallery.dialogs.basic.label":"Diálogo básico","codex.gallery.dialogs.basic.title":"Diálogo de ejemplo","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Describe el problema…","codex.gallery.dialogs.feedbackSubmission.bad":"Resultado incorrecto","codex.gallery.dialogs.feedbackSubmission.bug":"Error","codex.gallery.dialogs.feedbackSubmission.good":"Resultado correcto","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Incluir los registros de la sesión actual de Codex","codex.gallery.dialogs.feedbackSubmission.label":"Envío de opinión","codex.gallery.dialogs.feedbackSubmission.other":"Otra opción","codex.gallery.dialogs.feedbackSubmission.placeholder":"Describe aquí el problema","codex.gallery.dialogs.feedbackSubmission.submit":"Enviar","codex.gallery.dialogs.feedbackSubmission.title":"Opinión","codex.gallery.dialogs.feedbackSuccess.body":"Opinión cargada. Si el problema persiste, abre una incidencia en GitHub o menciona el id del hilo en una incidencia abierta existente:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ignorar","codex.gallery.dialogs.feedbackSuccess.label":"Opinión enviada correctamente","codex.gallery.dialogs.feedbackSuccess.title":"Opinión cargada","codex.gallery.dialogs.gitApplyResults.applied":"Aplicado sin conflictos (2)","codex.gallery.dialogs.gitApplyResults.close":"Cerrar","codex.gallery.dialogs.gitApplyResults.conflicted":"Con conflictos (1)","codex.gallery.dialogs.gitApplyResults.label":"Aplicar resultados","codex.gallery.dialogs.gitApplyResults.title":"Aplicar resultados","codex.gallery.dialogs.gitPushError.body":"Obtén los últimos cambios o fuerza el envío si sabes que el historial remoto se puede sobrescribir con seguridad.","codex.gallery.dialogs.gitPushError.cancel":"Cancelar","codex.gallery.dialogs.gitPushError.force":"Forzar envío","codex.gallery.dialogs.gitPushError.label":"Error de envío","codex.gallery.dialogs.gitPushError.subtitle":"Tu rama está por detrás de origen/principal.","codex.gallery.dialogs.gitPushError.title":"Se ha producido un error al enviar los cambios","codex.gallery.dialogs.gitRevert.cancel":"Cancelar","codex.gallery.dialogs.gitRevert.confirm":"Revertir","codex.gallery.dialogs.gitRevert.label":"Revertir cambios","codex.gallery.dialogs.gitRevert.skip":"No preguntar de nuevo","codex.gallery.dialogs.gitRevert.subtitle":"Esta acción elimina todos estos cambios.","codex.gallery.dialogs.gitRevert.title":"¿Revertir los cambios?","codex.gallery.dialogs.longForm.label":"Diálogo de formato largo","codex.gallery.dialogs.proseModal.body":"Este estilo de modal se usa para instrucciones largas, incorporación o bloques de contenido enriquecido.","codex.gallery.dialogs.proseModal.close":"Cerrar","codex.gallery.dialogs.proseModal.subtitle":"Comparte aquí orientaciones o documentación más extensas.","codex.gallery.dialogs.proseModal.title":"Modal de texto","codex.gallery.dialogs.submitBlocked.label":"Envío bloqueado","codex.gallery.dialogs.submitBlocked.message":"No se ha podido enviar tu mensaje porque el proyecto no está disponible.","codex.gallery.dialogs.submitBlocked.ok":"Aceptar","codex.gallery.dialogs.submitBlocked.title":"No se ha podido enviar el mensaje","codex.gallery.dialogs.title":"Diálogos","codex.gallery.dropdown.filterPlaceholder":"Filtrar elementos","codex.gallery.dropdowns.actionRow":"Filas de acciones","codex.gallery.dropdowns.actionRow.disabled":"Acción deshabilitada","codex.gallery.dropdowns.actionRow.primary":"Acción principal","codex.gallery.dropdowns.actionRow.secondary":"Acción secundaria","codex.gallery.dropdowns.actionRow.trigger":"Mostrar acciones","codex.gallery.dropdowns.basic":"Menú desplegable básico","codex.gallery.dropdowns.basic.newFile":"Archivo nuevo","codex.gallery.dropdowns.basic.newFolder":"Nueva carpeta","codex.gallery.dropdowns.basic.openSettings":"Abrir configuración","codex.gallery.dropdowns.basic.title":"Acciones rápidas","codex.gallery.dropdowns.basic.trigger":"Abrir menú","codex.gallery.dropdowns.basic.upload":"Cargar","codex.gallery.dropdowns.panel":"Superficie del panel","codex.gallery.dropdowns.panel.apply":"Aplicar","codex.gallery.dropdowns.panel.body":"Revisa los cambios y aplícalos a tu proyecto.","codex.gallery.dropdowns.panel.preview":"Vista previa","codex.gallery.dropdowns.panel.title":"Aplicar cambios","codex.gallery.dropdowns.panel.trigger":"Abrir panel","codex.gallery.dropdowns.search":"Menú desplegable con búsqueda","codex.gallery.dropdowns.search.first":"Canal alfa","codex.gallery.dropdowns.search.second":"Rama beta","codex.gallery.dropdowns.search.third":"Versión candidata","codex.gallery.dropdowns.search.trigger":"Filtrar elementos","codex.gallery.dropdowns.submenu":"Menú desplegable con submenú","codex.gallery.dropdowns.submenu.optionA":"Proyecto alfa","codex.gallery.dropdowns.submenu.optionB":"Proyecto beta","codex.gallery.dropdowns.submenu.optionC":"Proyecto gamma","codex.gallery.dropdowns.submenu.primary":"Asignar propietario","codex.gallery.dropdowns.submenu.secondary":"Mover a ","codex.gallery.dropdowns.submenu.tertiary":"Archivar","codex.gallery.dropdowns.submenu.trigger":"Elegir acción","codex.gallery.dropdowns.title":"Menús desplegables","codex.gallery.inbox.automations.close":"Cerrar","codex.gallery.inbox.automations.popover.cardTitle":"Gestionar automatizaciones","codex.gallery.inbox.automations.popover.dialogTitle":"Gestionar automatizaciones","codex.header.settingsTooltip":"Configuración","codex.hunk.patch.error":"No se ha podido preparar","codex.hunk.patch.missing":"No se ha podido crear el parche para este fragmento de cambios.","codex.hunk.patch.partialSuccess":"Éxito parcial","codex.hunk.patch.revertError":"No se ha podido deshacer la preparación","codex.hunk.patch.revertSuccess":"Preparación deshecha correctamente","codex.hunk.patch.success":"Preparación correcta","codex.legal.autonomy.details":"Para obtener más detalles, consulta la {link}","codex.legal.autonomy.details.link":"Documentación de Codex","codex.legal.autonomy.title":"Decide cuánta autonomía quieres conceder","codex.legal.backButton":"Atrás","codex.legal.cloud.taskOne.meta":"openai/agi · 12 oct.","codex.legal.cloud.taskOne.title":"Explicar el repositorio a un diseñador nuevo","codex.legal.cloud.taskThree.meta":"openai/codex · 8 oct.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Crear un tema en modo oscuro","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 oct.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Corregir un error de incorporación","codex.legal.continue.apikey":"Continuar","codex.legal.continueButton":"Siguiente","codex.legal.copilot.details":"Usa tu plan de Copilot para todas las llamadas al modelo, la facturación y los límites de uso. El uso de la extensión Codex está sujeto tanto a las {oaiTos} como a las {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"condiciones del servicio de GitHub","codex.legal.copilot.oaiTosLink":"condiciones del servicio de OpenAI Codex","codex.legal.copilot.title":"Con tecnología de GitHub Copilot","codex.legal.mistakes.review":"Revisa el código que escribe y los comandos que ejecuta","codex.legal.mistakes.title":"Codex puede cometer errores","codex.legal.powered.details":"Usa los límites de uso de tu plan y {link}","codex.legal.powered.details.link":"preferencias de datos de formación","codex.legal.powered.title":"Con tecnología de tu cuenta de ChatGPT","codex.legal.step.cloud.subtitle":"Envía tareas a Codex para ejecutarlas en segundo plano y así mantener la concentración y avanzar más rápido.","codex.legal.step.cloud.title":"Delegar a Codex en la nube","codex.legal.step.intro.subtitle":"Codex navega, edita, ejecuta comandos y realiza pruebas directamente en tu repositorio. Con tecnología de tu cuenta de ChatGPT.","codex.legal.step.intro.title":"Codex en tu IDE","codex.legal.step.todo.subtitle":"Escribe un comentario de tarea pendiente y conviértelo en una tarea de Codex con un solo clic.","codex.legal.step.todo.title":"Convierte las tareas pendientes en tareas de Codex","codex.legal.todo.heading":"// Tarea pendiente: implementar esquema","codex.localConversation.closeImagePreview":"Cerrar vista previa de imagen","codex.localConversation.userImageAttachment":"Archivo adjunto del usuario","codex.localTaskRow.archiveTask":"Archivar hilo","codex.localTaskRow.awaitingApproval":"A la espera de aprobación","codex.localTaskRow.awaitingResponse":"En espera de respuesta","codex.localTaskRow.confirmArchiveTask":"Confirmar","codex.loggedOut.apiKeyPrompt.cancel":"Cancelar","codex.loggedOut.apiKeyPrompt.confirm":"Aceptar","codex.loggedOut.apiKeyPrompt.getKey":"Obtener clave API","codex.loggedOut.apiKeyPrompt.inputLabel":"Introduce tu clave de la API de OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tareas en la nube deshabilitadas con clave API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tareas en la nube deshabilitadas con Copilot y clave API","codex.loggedOut.signIn":"Iniciar sesión con ChatGPT","codex.loggedOut.signIn.cancel":"Cancelar inicio de sesión","codex.loggedOut.signInWithCopilot":"Iniciar sesión con GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Usar clave API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Herramienta MCP {server} de {tool}","codex.mcpTool.collapsedLabel.verb.called":"Llamado","codex.mcpTool.collapsedLabel.verb.calling":"Llamando","codex.mcpTool.embeddedResource.contentLabel":"Contenido","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tipo MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"La herramienta no ha devuelto contenido","codex.mcpTool.rawPayloadHeading":"{server} sin procesar. Carga útil de la llamada a la herramienta {tool}","codex.menu.recent":"Recientes","codex.menu.seeAllHistory":"Ver todo el historial","codex.modelCapacityBanner.headline.noReset":"{modelName} está al máximo de capacidad en este momento. Vuelve a intentarlo más tarde o inicia una nueva conversación con otro modelo.","codex.modelCapacityBanner.headline.withReset":"{modelName} está al máximo de capacidad en este momento. Vuelve a intentarlo después del {resetDate} o inicia una nueva conversación con otro modelo.","codex.modelCapacityBanner.title":"El modelo seleccionado está al máximo de capacidad","codex.patch.change.contentsDeleted":"Contenido eliminado","codex.patch.change.created":"Creado","codex.patch.change.created-file":"Archivo creado","codex.patch.change.creating":"Creando","codex.patch.change.deleted":"Eliminado","codex.patch.change.deleted-file":"Archivo eliminado","codex.patch.change.deleting":"Eliminando","codex.patch.change.edited":"Editado","codex.patch.change.edited-file":"Archivo editado","codex.patch.change.editing":"Editando","codex.patch.change.noChanges":"Sin cambios","codex.patch.change.rejected-add":"Rechazado","codex.patch.change.rejected-delete":"Rechazado","codex.patch.change.rejected-edit":"Rechazado","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} de {total} tareas completadas","codex.plan.todoListCreated":"Lista de tareas creada con {total} tareas","codex.profileDropdown.apiKeyAuth":"Sesión iniciada con clave API","codex.profileDropdown.codexSettings":"Configuración de Codex","codex.profileDropdown.copilotAuth":"Sesión iniciada con Copilot","codex.profileDropdown.defaultAccountTitle":"Cuenta predeterminada","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Intro para enviar indicaciones largas","codex.profileDropdown.enterBehaviorError":"Error al actualizar la configuración","codex.profileDropdown.getPlus":"Mejora el plan para obtener límites más altos","codex.profileDropdown.keyboardShortcuts":"Accesos directos de teclado","codex.profileDropdown.language":"Idioma","codex.profileDropdown.languageDefault":"Detección automática","codex.profileDropdown.languageSearchPlaceholder":"Buscar idiomas","codex.profileDropdown.languageUpdateError":"No se ha podido actualizar el idioma","codex.profileDropdown.logOut":"Cerrar sesión","codex.profileDropdown.mcp":"Ajustes de MCP","codex.profileDropdown.openConfigToml":"Abrir config.toml","codex.profileDropdown.openConfigToml.wsl":"Abrir config.toml en entorno WSL","codex.profileDropdown.openExtensionSettings":"Abrir configuración","codex.profileDropdown.openMcpSettings":"Abrir ajustes de MCP","codex.profileDropdown.openOnStartup":"Abrir al iniciar","codex.profileDropdown.openOnStartupError":"Error al actualizar la configuración","codex.profileDropdown.openSkillsSettings":"Abrir ajustes de habilidades","codex.profileDropdown.personalAccountTitle":"Cuenta personal","codex.profileDropdown.queueFollowUps":"Poner seguimientos en cola","codex.profileDropdown.queueFollowUpsError":"Error al actualizar la configuración","codex.profileDropdown.readDocs":"Leer documentación","codex.profileDropdown.readSkillsDocs":"Leer documentación","codex.profileDropdown.runInWsl":"Ejecutar en WSL","codex.profileDropdown.runInWslError":"Error al actualizar la configuración","codex.profileDropdown.runInWslTooltip":"Ejecuta Codex dentro de WSL. Recomendado para mejorar la seguridad del entorno aislado y obtener un mejor rendimiento.","codex.profileDropdown.settings":"Configuración de IDE","codex.profileDropdown.settingsPage":"Configuración","codex.profileDropdown.signInWithOpenAI":"Iniciar sesión con ChatGPT","codex.profileDropdown.skills":"Ajustes de habilidades","codex.profileDropdown.switchToCopilotAccount":"Usar cuenta de Copilot","codex.profileDropdown.switchToOpenAIAccount":"Usar cuenta de OpenAI","codex.profileDropdown.todoCodelens":"Corregir comentarios de tarea pendiente","codex.profileDropdown.todoCodelensError":"Error al actualizar la configuración","codex.profileDropdown.windowsDocumentation":"Documentación de Windows","codex.profileFooter.signedInFallback":"Configuración","codex.profileFooter.upgrade":"Mejorar plan","codex.recentTasksMenu.clearSearch":"Borrar búsqueda","codex.recentTasksMenu.cloud":"Tareas en la nube","codex.recentTasksMenu.count":"{count, plural, =0 {No hay tareas en curso} one {# tarea en progreso} many {# tareas en progreso} other {# tareas en progreso}}","codex.recentTasksMenu.empty":"Aún no hay hilos","codex.recentTasksMenu.errorCloud":"Se ha producido un error al cargar las tareas.","codex.recentTasksMenu.errorCloud.inline":"Se ha producido un error al cargar las tareas en la nube.","codex.recentTasksMenu.filterAll":"Todo","codex.recentTasksMenu.filterCloudTasks":"Filtrar tareas en la nube","codex.recentTasksMenu.filterTooltip":"Filtrar tareas por entorno","codex.recentTasksMenu.local":"Tareas locales","codex.recentTasksMenu.recent":"Todas las tareas","codex.recentTasksMenu.search":"Buscar tareas recientes","codex.recentTasksMenu.searchEmpty":"Sin resultados","codex.recentTasksMenu.tooltip":"Historial de tareas","codex.recentTasksMenu.trigger":"Tareas recientes. {count, plural, one {# en curso} many {# en curso} other {# en curso}}","codex.remoteConversation.applyDiff.applyCta":"Aplicar cambios","codex.remoteConversation.applyDiff.dropdownTitle":"Aplicar cambios a una rama local","codex.remoteConversation.applyDiff.revertCta":"Revertir cambios","codex.remoteConversation.closeImagePreview":"Cerrar vista previa de imagen","codex.remoteConversation.codexCloudTask":"Estás viendo una tarea de <u>Codex en la nube</u>","codex.remoteConversation.errorWithMessage":"Error: {message}","codex.remoteConversation.loadingImage":"Cargando imagen","codex.remoteConversation.openInWeb":"Abrir en la web","codex.remoteConversation.streaming":"Empezando","codex.remoteConversation.turnFailed":"Se ha producido un error durante esta tarea","codex.remoteConversation.turnTab.loading":"Intento {number}","codex.remoteConversation.turnTab.title":"Intento {number}","codex.remoteConversation.userImageAttachment":"Archivo adjunto del usuario","codex.remoteConversation.viewPreviousTurns":"Abrir en la web","codex.remoteConversation.viewPreviousTurns.buttonText":"Abrir","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Abrir en la web","codex.review.copyGitApplyCommand":"Copiar el comando git apply","codex.review.copyGitApplyCommand.toast":"El comando git apply se ha copiado en el portapapeles","codex.review.diffTooLarge.description":"Esta diferencia es demasiado grande para mostrarse en revisión.","codex.review.diffTooLarge.title":"La diferencia es demasiado grande para mostrarse","codex.review.expandOrCollapseDiffButton.collapse":"Contraer todas las diferencias","codex.review.expandOrCollapseDiffButton.expand":"Expandir todas las diferencias","codex.review.expandOrCollapseDiffMenu.collapse":"Contraer todas las diferencias","codex.review.expandOrCollapseDiffMenu.expand":"Expandir todas las diferencias","codex.review.fileSearch.clear":"Borrar filtro de archivos","codex.review.fileSearch.empty":"No hay archivos que coincidan con el filtro actual.","codex.review.fileSearch.label":"Filtrar archivos","codex.review.fileSearch.placeholder":"Filtrar archivos...","codex.review.filesChanged":"{num, plural, =0 {Ningún archivo cambiado} one {# archivo cambiado} many {# archivos cambiados} other {# archivos cambiados}}","codex.review.find.loadMore":"Cargar más coincidencias","codex.review.fullReview.hideFileTree":"Ocultar árbol de archivos","codex.review.fullReview.showFileTree":"Mostrar árbol de archivos","codex.review.header.moreOptions":"Revisar opciones","codex.review.largeDiff.banner":"Se ha detectado una diferencia grande, se muestra un archivo cada vez.","codex.review.loadFullFiles.disable":"No cargar archivos completos","codex.review.loadFullFiles.enable":"Cargar archivos completos","codex.review.noDiff":"Los cambios del archivo aparecerán aquí","codex.review.noDiff.gitInit.createRepository":"Crear repositorio git","codex.review.noDiff.gitInit.creating":"Creando…","codex.review.noDiff.gitInit.error":"Se ha producido un error al iniciar Git: {message}","codex.review.noDiff.gitInit.success":"Repositorio Git creado","codex.review.noDiff.gitRepoRequired.description":"Haz seguimiento y deshaz cambios en este proyecto","codex.review.noDiff.gitRepoRequired.title":"Crear un repositorio Git","codex.review.noDiff.orNoLongerAvailable":"o las últimas diferencias ya no están disponibles","codex.review.noDiff.reverted":"El último turno se ha revertido","codex.review.noDiff.revertedOrCommitted":"El último turno se ha revertido o se ha confirmado","codex.review.refreshGitQueries":"Actualizar","codex.review.revert.file.error":"No se ha podido revertir {path}","codex.review.revert.file.partialSuccess":"Revertido parcialmente {path}","codex.review.revert.file.success":"Revertido {path}","codex.review.revert.hunk.error":"No se ha podido revertir el bloque {hunkNumber} en {path}","codex.review.revert.hunk.partialSuccess":"Bloque {hunkNumber} revertido parcialmente en {path}","codex.review.revert.hunk.success":"Bloque {hunkNumber} revertido en {path}","codex.review.revert.section.error":"No se ha podido revertir la sección","codex.review.revert.section.partialSuccess":"Sección revertida parcialmente","codex.review.revert.section.success":"Sección revertida","codex.review.revertDialog.cancel":"Cancelar","codex.review.revertDialog.confirm":"Confirmar","codex.review.revertDialog.message":"Esta acción elimina todos estos cambios.","codex.review.revertDialog.skip":"No preguntar de nuevo","codex.review.revertDialog.title":"¿Revertir los cambios?","codex.review.richPreview.disable":"Desactivar vista previa enriquecida","codex.review.richPreview.enable":"Activar vista previa enriquecida","codex.review.source.cloud":"Cambios en la nube","codex.review.source.local.all":"Todos los cambios de la rama","codex.review.source.local.lastTurn":"Cambios del último turno","codex.review.source.local.uncommitted":"Cambios no confirmados","codex.review.source.worktree":"Cambios del árbol de trabajo sin confirmar","codex.review.stageFilter.empty.staged.description":"Aceptar ediciones para prepararlas","codex.review.stageFilter.empty.staged.title":"No hay cambios preparados","codex.review.stageFilter.empty.unstaged.description":"Los cambios de código aparecerán aquí","codex.review.stageFilter.empty.unstaged.title":"No hay cambios sin preparar","codex.review.stageFilter.staged":"Preparados","codex.review.stageFilter.staged.count":"Preparados · {count}","codex.review.stageFilter.unstaged":"Sin preparar","codex.review.stageFilter.unstaged.count":"Sin preparar · {count}","codex.review.switchToSplit":"Cambiar a vista de diferencias dividida","codex.review.switchToUnified":"Cambiar a diferencia unificada","codex.review.toggleDiffView":"Alternar vista de diferencias","codex.review.wordDiffs.disable":"Deshabilitar diferencias de palabras","codex.review.wordDiffs.enable":"Habilitar diferencias de palabras","codex.review.wrap.disable":"Deshabilitar ajuste de línea","codex.review.wrap.enable":"Habilitar ajuste de línea","codex.section.patch.missing":"No se ha podido crear el parche para esta sección.","codex.shell.collapse":"Contraer consola","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Contenido de consola copiado","codex.shell.copy.copyTooltip":"Copiar contenido de consola","codex.shell.copyCommand":"Copiar comando","codex.shell.copyOutput":"Copiar resultado","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Expandir consola","codex.shell.name":"Shell","codex.shell.noOutput":"Sin salida","codex.signInFailed.message":"Error al iniciar sesión: {rawMessage}","codex.stories.toast.show":"Mostrar Toast","codex.stories.tooltip.basic":"Este es un mensaje emergente","codex.stories.tooltip.hoverMe":"Pasa el cursor por encima","codex.stories.tooltip.largerOffset":"Este mensaje emergente tiene más separación","codex.stories.tooltip.offsetButton":"Separación mayor","codex.stories.tooltip.shortcutButton":"Con acceso directo","codex.stories.tooltip.withShortcut":"Alternar terminal","codex.taskRow.title":"Nuevo hilo","codex.taskRowLayout.confirm":"Confirmar","codex.threadFindBar.chatFilter":"Buscar en el chat","codex.threadFindBar.close":"Cerrar búsqueda","codex.threadFindBar.diffFilter":"Buscar diferencias","codex.threadFindBar.label":"Buscar en el hilo","codex.threadFindBar.nextResult":"Siguiente resultado","codex.threadFindBar.noResults":"0 resultados","codex.threadFindBar.placeholder":"Buscar en el hilo…","codex.threadFindBar.placeholder.extension":"Buscar en el hilo…","codex.threadFindBar.placeholder.review":"Buscar diferencias...","codex.threadFindBar.placeholder.review.extension":"Buscar diferencias...","codex.threadFindBar.previousResult":"Resultado anterior","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# archivo cambiado} many {# archivos cambiados} other {# archivos cambiados}}","codex.unifiedDiff.inlineLargeFile":"Demasiado grande para renderizarse en línea","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Deshacer","codex.unifiedDiff.revertPatchError":"Se ha producido un error al revertir los cambios","codex.unifiedDiff.revertPatchSuccess":"Cambios revertidos","codex.unifiedDiff.reviewChangesSuffix":"cambios","codex.unifiedDiff.reviewShort":"Revisión","codex.unifiedDiff.viewDiffTooltip":"Revisión","codex.upsellBanner.business.headline":"Para obtener más acceso ahora, envía una solicitud a tu administrador o espera hasta {resetDate}.","codex.upsellBanner.cbp.headline":"Para obtener más acceso ahora, envía una solicitud a tu administrador.","codex.upsellBanner.cta.addCredits":"Añadir créditos","codex.upsellBanner.cta.upgradeAccount":"Mejorar plan","codex.upsellBanner.cta.viewUsage":"Ver uso","codex.upsellBanner.free.trialHeadline":"Tu límite de uso se restablece el {resetDate}. Para seguir usando Codex y acceder a GPT-5.3-Codex, inicia hoy tu prueba gratuita de Plus.","codex.upsellBanner.freeOrGo.headline":"Tu límite de tasa se restablece el {resetDate}. Para seguir usando Codex, mejora a Plus hoy.","codex.upsellBanner.general.headline":"Tu límite de tasa se restablece el {resetDate}.","codex.upsellBanner.general.title":"Has alcanzado el límite de mensajes de Codex","codex.upsellBanner.go.trialHeadline":"Tu límite de uso se restablece el {resetDate}. Para seguir usando Codex, inicia hoy tu prueba gratuita de Plus.","codex.upsellBanner.plus.headline":"Tu límite de tasa se restablece el {resetDate}. Para seguir usando Codex, añade créditos o mejora a Pro hoy.","codex.upsellBanner.pro.headline":"Tu límite de tasa se restablece el {resetDate}. Añade créditos para seguir usando Codex ahora.","codex.userMessage.autoResolveSync":"Resolver conflictos automáticamente","codex.userMessage.commentCount":"{count, plural, one {# comentario} many {# comentarios} other {# comentarios}}","codex.userMessage.copiedAriaLabel":"Se ha copiado","codex.userMessage.copiedTooltip":"Se ha copiado","codex.userMessage.copyAriaLabel":"Copiar mensaje","codex.userMessage.copyTooltip":"Copiar","codex.userMessage.implementPlan":"Implementar el plan","codex.userMessage.noContent":"(Sin contenido)","codex.userMessage.priorConversation":"Hace referencia a una conversación anterior","codex.userMessage.reviewMode":"Modo de revisión","codex.webSearch.summary":"{details} {label}","codex.webSearch.summary.details":"para {query}","codex.webSearch.summary.verb.completed":"Búsqueda en la web","codex.webSearch.summary.verb.inProgress":"Buscando en la web","codex.windowsInstallWslBanner.dismiss":"Ignorar","codex.windowsInstallWslBanner.installWslCta":"Habilitar entorno aislado","codex.windowsInstallWslBanner.learnMore":"Más información","codex.windowsSandboxBanner.content":"El modo agente usa un entorno aislado experimental en Windows para limitar el acceso al sistema de archivos y a la red. {sandboxLink}","codex.windowsSandboxBanner.title":"Habilitar entorno aislado para el modo agente","codex.windowsSubDropdown.windowsSandbox":"Entorno aislado de Windows","codex.windowsSubDropdown.windowsSettings":"Ajustes de Windows","codexUpgradeModal.body":"Nuestro modelo de programación basado en agentes más avanzado: más inteligente, más rápido y más capaz en trabajo técnico general. {link}","codexUpgradeModal.close":"Cerrar","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Más información","codexUpgradeModal.title":"Presentamos GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Prueba GPT-5.3-Codex ahora","codexUpgradeModal.useExistingModel":"Continuar con el modelo actual","commentAttachments.numComments":"{count, plural, one {# comentario} many {# comentarios} other {# comentarios}}","commentAttachments.removeAriaLabel":"Quitar archivo adjunto de comentarios","common.close":"Cerrar","composer.addContext.openFilePickerError":"No se ha podido abrir el selector de archivos","composer.addContextDropdown.ariaLabel":"Añadir archivos y más","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Añadir archivos y más","composer.addPhotosAndFiles":"Añadir fotos y archivos","composer.atMentionList.emptyQuery":"Escribe para buscar archivos","composer.atMentionList.loading":"Buscando…","composer.atMentionList.noResults":"Sin resultados","composer.attemptsSelector.option":"{count, plural, one {# versión} many {# versiones} other {# versiones}}","composer.attemptsSelector.tooltip":"Número de intentos paralelos que debe realizar Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Detener","composer.cloudFollowUp.cloud":"Nube","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"¿Dónde debe ejecutarse este seguimiento?","composer.cloudTaskCreationError":"Se ha producido un error al crear la tarea en la nube","composer.cloudTaskError":"Se ha producido un error al crear la tarea","composer.contextWindow.autoCompactionTooltipLine1":"Codex compacta automáticamente su contexto","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Ventana de contexto:","composer.contextWindowUsageStatusFull":"{usage} % llena","composer.contextWindowUsageStatusLeft":"{usage} % usado ({remaining} % restante)","composer.contextWindowUsageTooltip":"{usedTokens} k/{contextWindow} k tókenes usados","composer.customCliTooltip":"Uso de un ejecutable CLI personalizado","composer.dictation.aria":"Dictar","composer.dictation.cancel.aria":"Detener dictado","composer.dictation.cancel.tooltip":"Detener dictado","composer.dictation.startError":"No se ha podido iniciar el dictado","composer.dictation.submit.aria":"Transcribir y enviar","composer.dictation.submit.tooltip":"Transcribir y enviar","composer.dictation.tooltip":"Mantén pulsado para dictar","composer.dictation.transcribeError":"No se ha podido transcribir el audio","composer.dictation.unsupported":"El dictado no está disponible en este dispositivo","composer.dropOverlay.holdShift":"Mantén pulsado {key} para soltar","composer.dropOverlay.shiftKey":"Mayúsculas","composer.environmentSelector.createNew":"Crear nuevo","composer.environmentSelector.error":"Error al cargar los entornos","composer.environmentSelector.goBack":"Volver al editor","composer.environmentSelector.title":"Seleccionar entorno","composer.environmentSelector.tooltip":"Selecciona un entorno en la nube","composer.feedbackSlashCommand.title":"Opinión","composer.filePicker.selectFile":"Seleccionar un archivo","composer.filePicker.selectFiles":"Seleccionar archivos","composer.followerTooltip":"Para continuar, vuelve a la ventana donde empezó esta conversación.","composer.footer.branchSwitch.checkoutError":"No se ha podido cambiar de rama: {message}","composer.footer.branchSwitch.createAndCheckout":"Crear y cambiar a una rama nueva...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Confirmar cambios para crear y cambiar a una rama nueva","composer.footer.branchSwitch.createBranchError":"Se ha producido un error al crear la rama: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nombre de la rama","composer.footer.branchSwitch.createDialog.branchExistsError":"La rama ya existe.","composer.footer.branchSwitch.createDialog.close":"Cerrar","composer.footer.branchSwitch.createDialog.createAndCheckout":"Crear y cambiar","composer.footer.branchSwitch.createDialog.placeholder":"nueva-rama","composer.footer.branchSwitch.createDialog.title":"Crear y cambiar de rama","composer.footer.branchSwitch.createDialog.trailingSlashError":"El nombre de la rama no puede terminar en «/».","composer.footer.branchSwitch.tooltip":"Cambiar de rama","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Confirma los cambios en {fileCount, plural, one {# archivo} many {# archivos} other {# archivos}} para cambiar a la rama {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Confirmar","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"cambios en {fileCount, plural, one {# archivo} many {# archivos} other {# archivos}} para cambiar a la rama {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Cancelar","composer.footer.branchSwitch.uncommittedDialog.commit":"Confirmar cambios y cambiar de rama...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Tus cambios en los siguientes archivos se sobrescribirían al pagar:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Confirma tus cambios para continuar","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"la rama seleccionada","composer.footer.branchSwitch.uncommittedDialog.title":"Confirmar cambios para cambiar de rama","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Sin confirmar: {fileCount, plural, one {# archivo} many {# archivos} other {# archivos}}","composer.forkSlashCommand.description":"Bifurcar esta conversación a local o a un nuevo worktree","composer.forkSlashCommand.option.local.description":"Continuar en una nueva conversación local","composer.forkSlashCommand.option.local.title":"Bifurcar a local","composer.forkSlashCommand.option.worktree.description":"Continuar en un nuevo worktree","composer.forkSlashCommand.option.worktree.title":"Bifurcar a un nuevo worktree","composer.forkSlashCommand.title":"Bifurcar","composer.ideContextIndicator":"Contexto de IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Incluir contexto de IDE","composer.ideContextIndicator.tooltipToggle":"para alternar","composer.ideContextSlashCommand.disableDescription":"Desactivar contexto de IDE","composer.ideContextSlashCommand.enableDescription":"Incluir la selección actual, los archivos abiertos y otro contexto de tu IDE","composer.ideContextSlashCommand.title":"Contexto de IDE","composer.imageInputsUnsupported":"Este modelo no admite entradas de imagen. Prueba con otro modelo.","composer.imageUploadFailed":"Se ha producido un error al cargar la imagen","composer.includeIdeContextDropdown":"Incluir contexto del IDE","composer.includeIdeContextDropdown.ariaLabel":"Incluir contexto del IDE","composer.localCwdDropdown.addWorkspaceRoot":"Añadir nuevo proyecto","composer.localCwdDropdown.noActiveRoot":"Selecciona tu proyecto","composer.localCwdDropdown.noResults":"No se han encontrado carpetas","composer.localCwdDropdown.title":"Selecciona tu proyecto","composer.localTaskError":"Se ha producido un error al iniciar la conversación","composer.mcpSlashCommand.description":"Mostrar el estado del servidor MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"No autenticado","composer.mcpStatus.authOauth":"Autenticado (OAuth)","composer.mcpStatus.authToken":"Autenticado (clave de API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Cerrar","composer.mcpStatus.disabled":"Deshabilitado","composer.mcpStatus.emptyLabel":"Servidores:","composer.mcpStatus.emptyValue":"No hay servidores MCP configurados","composer.mcpStatus.enabled":"Habilitado","composer.mcpStatus.errorLabel":"Estado:","composer.mcpStatus.errorValue":"No se ha podido cargar el estado de MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agente","composer.mode.agentMode.auto.dropdownLabel":"Agente","composer.mode.agentMode.auto.optionLabel":"Agente","composer.mode.agentMode.changePermission":"Cambiar de modo","composer.mode.agentMode.custom":"Personalizado","composer.mode.agentMode.custom.dropdownLabel":"Personalizado","composer.mode.agentMode.custom.option":"Personalizado (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personalizado (config.toml)","composer.mode.agentMode.customInfo.cancel":"Cancelar","composer.mode.agentMode.customInfo.cli":"Puedes ajustar esos ajustes desde la CLI o editando el archivo directamente.","composer.mode.agentMode.customInfo.confirm":"Usar modo personalizado","composer.mode.agentMode.customInfo.description":"El modo personalizado aplica las políticas de aprobación y del entorno aislado definidas en tu <link>archivo</link> config.toml.","composer.mode.agentMode.customInfo.docs":"Obtén más información sobre cómo configurar las políticas de aprobación y del entorno aislado en la <link>documentación del entorno de ejecución</link>.","composer.mode.agentMode.customInfo.refresh":"Cualquier cambio se aplicará la próxima vez que se ejecute el agente.","composer.mode.agentMode.customInfo.title":"Cómo funciona el modo personalizado","composer.mode.agentMode.fullAccess":"Agente (acceso completo)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agente (acceso completo)","composer.mode.agentMode.fullAccess.optionLabel":"Agente (acceso completo)","composer.mode.agentMode.fullAccessConfirm.caution":"Ten cuidado al habilitar el acceso completo. Esto aumenta de forma significativa el riesgo de pérdida de datos, filtraciones o comportamientos inesperados.","composer.mode.agentMode.fullAccessConfirm.confirm":"Sí, continuar de todos modos","composer.mode.agentMode.fullAccessConfirm.description":"Cuando Codex se ejecuta con acceso completo, puede editar cualquier archivo de tu ordenador y ejecutar comandos con acceso a la red sin tu aprobación.","composer.mode.agentMode.fullAccessConfirm.goBack":"Cancelar","composer.mode.agentMode.fullAccessConfirm.title":"¿Habilitar el acceso completo?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Cambiar de modo","composer.mode.agentMode.tooltip.auto":"Leer y editar archivos, y ejecutar comandos.","composer.mode.agentMode.tooltip.custom":"Usar las políticas de aprobación y del entorno aislado más recientes definidas en config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex puede editar archivos fuera del proyecto y ejecutar comandos con acceso a la red. Úsalo con precaución.","composer.mode.agentMode.tooltip.readOnly":"Necesita aprobación para editar archivos y ejecutar comandos.","composer.mode.cloud.tooltip":"Trabaja en un entorno en la nube","composer.mode.contactAdmin":"Para obtener más acceso, contacta con tu administrador","composer.mode.local":"Local","composer.mode.local.learnMore":"Más información","composer.mode.local.model.custom":"Personalizado","composer.mode.local.model.loadingModel":"Cargando modelo","composer.mode.local.model.selecrReasoningEffort":"Elegir tipo de razonamiento","composer.mode.local.model.selectModel":"Seleccionar modelo","composer.mode.local.model.tooltip":"Elegir modelo","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Alto","composer.mode.local.reasoning.low.label":"Bajo","composer.mode.local.reasoning.medium.label":"Medio","composer.mode.local.reasoning.minimal.label":"Mínimo","composer.mode.local.reasoning.none.label":"Ninguno","composer.mode.local.reasoning.xhigh.label":"Extra alto","composer.mode.localRemoteWhereRun":"Selecciona dónde ejecutar la tarea","composer.mode.newTask.header":"Continuar en","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Límites de uso restantes","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"Límite de {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {límite semanal} many {{weeks} límite semanal} other {{weeks} límite semanal}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Semanalmente} many {{weeks} semana} other {{weeks} semanas}}","composer.mode.remote.connectToCloud":"Conectar Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Configura un entorno desde Codex web para habilitar el envío de tareas a la nube","composer.mode.remote.selectEnvironment":"Seleccionar entorno","composer.mode.remote.sendToCloud":"Enviar a la nube","composer.mode.remote.setupViaWeb":"Configurar un entorno desde Codex web","composer.mode.runInCloud":"Nube","composer.mode.runInCloudWithEnvironment":"Nube · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Trabaja en un entorno en la nube","composer.mode.segmentedToggle.local.tooltip":"Trabaja en tu proyecto local","composer.mode.segmentedToggle.worktree.tooltip":"Trabaja en un worktree paralelo","composer.mode.upgradeToPlus":"Mejora tu plan a Plus","composer.mode.upgradeToPro":"Mejora tu plan a Pro","composer.mode.workLocally":"Proyecto local","composer.mode.workLocally.currentBranchFallback":"tu rama","composer.mode.workLocally.tooltip":"Trabajar en {branchName}","composer.mode.worktree":"Nuevo worktree","composer.mode.worktree.submoduleWarning":"Este repositorio tiene submódulos de git. La creación del worktree puede fallar","composer.mode.worktree.tooltip":"Crea una copia de tu proyecto local para trabajar en paralelo","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Cambiar de modelo a mitad de la conversación degradará el rendimiento.","composer.newChat.heading.browser":"¿Qué deberíamos programar a continuación?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex usa el permiso definido en config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex tiene acceso completo a tu ordenador (riesgo elevado)","composer.permissionsDropdown.custom.label":"Personalizado (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personalizado (config.toml)","composer.permissionsDropdown.default.label":"Permisos predeterminados","composer.permissionsDropdown.default.optionLabel":"Permisos predeterminados","composer.permissionsDropdown.default.tooltip":"Codex ejecuta comandos automáticamente en un entorno aislado","composer.permissionsDropdown.disabled.requirements":"Los permisos están bloqueados por requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"El modo de acceso completo está deshabilitado por requirements.toml","composer.permissionsDropdown.fullAccess.label":"Acceso completo","composer.permissionsDropdown.fullAccess.optionLabel":"Acceso completo","composer.permissionsDropdown.trigger.tooltip":"Cambiar permisos","composer.personalitySlashCommand.description.friendly":"Cálido, colaborativo y servicial","composer.personalitySlashCommand.description.pragmatic":"Conciso, centrado en la tarea y directo","composer.personalitySlashCommand.label.friendly":"Amable","composer.personalitySlashCommand.label.pragmatic":"Pragmático","composer.personalitySlashCommand.notApplicableSuffix":"(No se aplica al modelo actual)","composer.personalitySlashCommand.title":"Personalidad","composer.placeholder.cloudFollowUp.directFollowUp":"Seguimiento de esta tarea en la nube","composer.placeholder.cloudFollowUp.local":"Crear una nueva tarea local que haga referencia a esta tarea en la nube","composer.placeholder.cloudFollowUp.workingTree":"Crear una nueva tarea en la nube que incluya tu código actual y haga referencia a esta tarea","composer.placeholder.localFollowUp.cloud":"Seguimiento en una nueva tarea en la nube","composer.placeholder.localFollowUp.locally":"Pedir cambios de seguimiento","composer.placeholder.newTask.cloud":"Pide a Codex que haga lo que quieras en la nube","composer.placeholder.newTask.doAnything":"Pedir a Codex que haga cualquier cosa","composer.placeholder.newTask.locally":"Pregunta a Codex lo que quieras, @ para añadir archivos, / para comandos","composer.planModeDropdown":"Modo plan","composer.planModeDropdown.ariaLabel":"Modo plan","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Crear un plan con Codex","composer.planModeIndicator.tooltipToggle":"para alternar","composer.planSlashCommand.disableDescription":"Desactivar el modo plan","composer.planSlashCommand.enableDescription":"Activar el modo plan","composer.planSlashCommand.title":"Modo plan","composer.priorContext.label":"Contexto anterior","composer.priorContext.removeAriaLabel":"Quitar el contexto anterior","composer.queuedMessage.delete":"Eliminar mensaje en cola","composer.queuedMessage.edit":"Editar mensaje","composer.queuedMessage.more":"Acciones de mensajes en cola","composer.queuedMessage.sendNow":"Dirigir","composer.queuedMessage.sendNowTooltip":"Enviar ahora sin interrumpir el trabajo","composer.queuedMessage.turnOff":"Desactivar la cola","composer.reasoningEffort.local.reasoning.tooltip":"Elegir esfuerzo de razonamiento","composer.remote.branchStartingPoint":"¿Desde qué rama debería empezar esta tarea?","composer.remote.branchesSectionHeading":"Ramas","composer.remote.currentEditsSuffix.followUp":"Crear una tarea nueva que haga referencia a esta tarea en la nube.","composer.remote.currentEditsSuffix.useLocal":"con cambios locales del código","composer.remote.directFollowUp":"No usar cambios locales","composer.remote.errorLoadingBranches":"Error al cargar ramas","composer.remote.fromBranch":"Desde {branch}","composer.remote.fromCurrentBranch":"De {branch} (actual)","composer.remote.loadingMoreBranches":"Cargando…","composer.remote.localFileStateHeading":"Estado de archivos locales","composer.remote.localWorkingTree":"Usar cambios locales","composer.remote.startingPoint":"¿Desde qué código debe comenzar esta tarea?","composer.reviewMode.branches.error":"No se han podido cargar las ramas","composer.reviewMode.branches.retry":"Reintentar","composer.reviewMode.gitRoot.error":"No se ha encontrado la raíz de Git","composer.reviewMode.option.baseBranch.simple":"Revisar en comparación con una rama base","composer.reviewMode.option.unstaged.simple":"Revisar cambios no confirmados","composer.reviewMode.quickReviewError":"Se ha producido un error al iniciar la revisión de código.","composer.reviewMode.title":"Revisar código","composer.sandboxButton.unlock.disabled.tooltip":"El modo de acceso completo está deshabilitado por requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex puede usar un entorno aislado experimental en Windows para limitar el acceso al sistema de archivos y a la red. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"¿Habilitar entorno aislado de Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Usar solo lectura","composer.searchEnvironments":"Buscar entornos","composer.skillMentionList.app":"Aplicación","composer.skillMentionList.loading":"Cargando habilidades…","composer.skillMentionList.noResults":"No se han encontrado habilidades","composer.slashCommands.cloudEnvironment.title":"Entorno en la nube","composer.slashCommands.dialogLabel":"Menú de comandos con barra","composer.slashCommands.dialogTitle":"Comandos con barra","composer.slashCommands.disabledTooltip":"Inicia una conversación nueva para usar los comandos con barra","composer.slashCommands.inputPlaceholder":"Buscar","composer.slashCommands.noResults":"Sin comandos","composer.slashCommands.skillsGroup":"Habilidades","composer.slashCommands.tooltip":"Explorar comandos con barra","composer.status.close":"Cerrar","composer.statusPlain.alertLabel":"Alerta:","composer.statusPlain.alertValue":"{remaining} % restante en {window}","composer.statusPlain.contextLabel":"Contexto:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} usado/{total})","composer.statusPlain.contextValueRemaining":"{remaining} % restante","composer.statusPlain.heading":"Estado","composer.statusPlain.modelRateLimitSectionLabel":"Límite de {modelName}:","composer.statusPlain.rateLimitDays":"Límite de {count} d","composer.statusPlain.rateLimitFallbackLabel":"Límite de uso:","composer.statusPlain.rateLimitHours":"Límite de {count} h","composer.statusPlain.rateLimitLabelBase":"Límite de uso","composer.statusPlain.rateLimitMinutes":"Límite de {count} m","composer.statusPlain.rateLimitPercent":"{remaining} % restante","composer.statusPlain.rateLimitReset":"se restablece a las {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"hora de restablecimiento no disponible","composer.statusPlain.rateLimitUnavailable":"No disponible","composer.statusPlain.sessionCopiedAriaLabel":"ID de sesión copiada","composer.statusPlain.sessionCopiedTooltip":"ID copiado","composer.statusPlain.sessionCopyAriaLabel":"Copiar ID de sesión","composer.statusPlain.sessionCopyTooltip":"Copiar ID","composer.statusPlain.sessionLabel":"Sesión:","composer.statusSlashCommand.description":"Mostrar el ID del hilo, el uso de contexto y los límites de uso","composer.statusSlashCommand.title":"Estado","composer.submit.blockedDialogOk":"Aceptar","composer.submit.blockedDialogTitle":"No se ha podido enviar el mensaje","composer.submit.emptyMessage":"Introduce un mensaje para empezar","composer.submit.imageInputsUnsupported":"Quita las imágenes o cambia de modelo para enviar este mensaje.","composer.submit.loadingLocalConfig":"Cargando…","composer.submit.missingCloudConfig":"Debes elegir un entorno en la nube","composer.submit.missingCloudTurn":"No se puede continuar esta tarea","composer.submit.noWorkspace":"Añade un proyecto para usar Codex","composer.submit.waitForImageUploads":"Cargando imágenes...","composer.submitButtonTooltip.send":"Enviar","composer.submitButtonTooltip.stop":"Detener","composer.worktreeEnvironment.create":"Crear un entorno local","composer.worktreeEnvironment.default":"Entorno predeterminado","composer.worktreeEnvironment.error":"Error al cargar los entornos","composer.worktreeEnvironment.loading":"Cargando entornos…","composer.worktreeEnvironment.title":"Entorno local","composer.worktreeEnvironment.tooltip":"Selecciona un entorno local","composer.worktreeSetupFailed":"La configuración del worktree ha fallado. Revisa .codex/environments para ver si hay un script de configuración.","compoundButton.secondaryAction":"Acción secundaria","copyButton.copied":"Se ha copiado","copyButton.copiedAriaLabel":"Se ha copiado","copyButton.copy":"Copiar","copyButton.copyAriaLabel":"Copiar","copyButton.copyCode":"Copiar código","diff.actionButton.revertFile":"Revertir archivo","diff.actionButton.revertHunk":"Revertir","diff.actionButton.revertSection":"Revertir todo","diff.actionButton.revertSectionLabel":"Revertir todo","diff.actionButton.stageFile":"Preparar archivo","diff.actionButton.stageHunk":"Preparar","diff.actionButton.stageSection":"Preparar todo","diff.actionButton.stageSectionLabel":"Preparar todo","diff.actionButton.unstageFile":"Quitar archivo de preparado","diff.actionButton.unstageHunk":"Quitar","diff.actionButton.unstageSection":"Quitar todo de la preparación","diff.actionButton.unstageSectionLabel":"Quitar todo de la preparación","diff.fileHeader.toggle":"Alternar diferencias de archivo","electron.onboarding.login.apikey.cancel":"Cancelar","electron.onboarding.login.apikey.continue":"Continuar","electron.onboarding.login.apikey.label":"Clave API de OpenAI","electron.onboarding.login.apikey.open":"Introducir clave de API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Cancelar inicio de sesión","electron.onboarding.login.chatgpt.continue":"Continuar con ChatGPT","electron.onboarding.login.devbox":"Conectar a un SSH remoto","electron.onboarding.login.error":"Error al iniciar sesión: {rawMessage}","electron.onboarding.login.snake.start":"Jugar a Snake","electron.onboarding.login.sshConfig.cancel":"Cancelar","electron.onboarding.login.sshConfig.continue":"Continuar","electron.onboarding.login.sshConfig.hostnameLabel":"Nombre de host SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"La mejor forma de crear con agentes","electron.onboarding.login.title":"Te damos la bienvenida a Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuar","electron.onboarding.welcome.doubleLimits.description":"Para celebrar el lanzamiento de la aplicación Codex, tienes límites de velocidad 2× hasta el 2 de abril.","electron.onboarding.welcome.freego.description":"Codex está incluido en tu plan sin coste hasta el 2 de marzo. Empecemos a crear juntos.","electron.onboarding.welcome.new.title.anon":"Te damos la bienvenida","electron.onboarding.workspace.continue":"Continuar","electron.onboarding.workspace.empty":"Añade un proyecto para continuar.","electron.onboarding.workspace.listLabel":"Proyectos disponibles","electron.onboarding.workspace.loading":"Cargando proyectos…","electron.onboarding.workspace.openFolder":"Añadir proyecto","electron.onboarding.workspace.selectAll":"Seleccionar todo","electron.onboarding.workspace.skip":"Omitir","electron.onboarding.workspace.skip.error":"No se ha podido crear un proyecto nuevo: {message}","electron.onboarding.workspace.skip.error.unknown":"Error desconocido","electron.onboarding.workspace.skipping":"Creando un proyecto nuevo…","electron.onboarding.workspace.subtitle":"Codex podrá editar archivos y ejecutar comandos en las carpetas seleccionadas.","electron.onboarding.workspace.title":"Seleccionar un proyecto","errorPage.list.checkSettings":"Intenta actualizar los ajustes del IDE","errorPage.list.configToml":"Comprueba tu config.toml para ver si hay ajustes no válidos","errorPage.list.downloadExtension":"Intenta descargar otra versión de la extensión","errorPage.list.runInWsl":"Comprueba los ajustes para desactivar la ejecución en WSL si ves problemas de compatibilidad","execApprovalRequest.menu.runAlways":"Sí, y no vuelvas a preguntar en esta sesión","execApprovalRequest.menu.runAlwaysWithAmendment":"Sí, y no volver a preguntar para los comandos que empiecen por {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Sí, y no volver a preguntar para los comandos que empiecen por","execApprovalRequest.menu.runOnce":"Sí","execApprovalRequest.prompt":"¿Quieres ejecutar este comando?","execApprovalRequest.reject":"No","execFooter.exitCode":"Código de salida {code}","execFooter.exitCode.unknown":"desconocido","execFooter.success":"Listo","feedback.dialog.category.badResult":"Resultado incorrecto","feedback.dialog.category.bug":"Error","feedback.dialog.category.goodResult":"Resultado correcto","feedback.dialog.category.other":"Otra opción","feedback.dialog.descriptionPlaceholder":"Describe aquí el problema","feedback.dialog.dismiss":"Ignorar","feedback.dialog.includeLogsLabel":"Incluir los registros de la sesión actual de Codex","feedback.dialog.submit":"Enviar","feedback.dialog.submitError":"No hemos podido enviar tu opinión. Vuelve a intentarlo en un momento.","feedback.dialog.title":"Opinión","feedback.dialog.uploadedMessage.existingIssue":"incidencia abierta existente","feedback.dialog.uploadedMessage.openIssue":"abrir una incidencia en GitHub","feedback.dialog.uploadedMessage.withThread":"Se ha cargado tu opinión. Si el problema continúa, {openIssueLink} o menciona el identificador del hilo en {existingIssueLink}:","feedback.dialog.uploadedTitle":"Opinión cargada","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Quitar {filename}","header.back":"Atrás","header.recentChats":"Tareas","header.recentTasks.seeAll":"Ver todo ({total})","home.header.getPlus":"Obtener Plus","home.hero.letsBuild":"Vamos a crear","homePage.mainContent":"Contenido principal","imageAttachment.defaultName":"imagen","imageAttachment.preview.close":"Cerrar vista previa de imagen","imageAttachment.removeAriaLabel":"Quitar {filename}","implementPlanRequest.option.implement":"Sí, implementar este plan","implementPlanRequest.prompt":"¿Implementar este plan?","inbox.archived.deleteError":"No se ha podido eliminar la ejecución archivada","inbox.archived.deleteRun":"Eliminar ejecución archivada","inbox.archived.deleteSuccess":"Hilo archivado eliminado. Ver en <settingsLink>Hilos archivados</settingsLink>.","inbox.archived.inlineLabel.auto":"Este hilo se archivó automáticamente. <learnMoreLink>Más información</learnMoreLink>.","inbox.archived.inlineLabel.manual":"Este hilo se archivó.","inbox.archived.noMessageFound":"No se ha encontrado ningún mensaje","inbox.automations.createError":"No se ha podido crear la automatización","inbox.automations.deleteConfirm.cancel":"Cancelar","inbox.automations.deleteConfirm.confirm":"Eliminar automatización","inbox.automations.deleteConfirm.description":"Esto eliminará la automatización de forma permanente y detendrá cualquier ejecución futura.","inbox.automations.deleteConfirm.title":"¿Eliminar {name}?","inbox.automations.deleteError":"No se ha podido eliminar la automatización","inbox.automations.editTooltip":"Editar automatización","inbox.automations.inProgress":"En curso","inbox.automations.new":"Nuevo","inbox.automations.newToolbar":"Nueva automatización","inbox.automations.pauseTooltip":"Pausar automatización","inbox.automations.resumeTooltip":"Reanudar automatización","inbox.automations.startingNow":"Desde ahora","inbox.automations.startsIn":"Empieza en {startTime}","inbox.automations.status.active":"Activo","inbox.automations.status.paused":"Pausado","inbox.automations.status.runs":"{count} ejecuciones","inbox.automations.status.started":"Iniciado el {date}","inbox.automations.updateError":"No se ha podido actualizar la automatización","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Todo","inbox.filter.ariaLabel":"Filtrar elementos de la bandeja de entrada","inbox.filter.unread":"No leído","inbox.list.archived":"Archivado","inbox.list.inProgress":"En curso","inbox.list.recent":"Completado","inbox.list.upNext":"Programado","inbox.mode.automations":"Automatizaciones","inbox.mode.automations.beta":"Beta","inbox.noDescription":"No se ha proporcionado ninguna descripción","inbox.openThread":"Abrir hilo","inbox.rightPanel.emptySubtitle":"Automatiza el trabajo configurando tareas programadas","inbox.rightPanel.emptySubtitle.learnMore":"Automatiza el trabajo configurando hilos programados. <link>Más información</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatización activa} many {# automatizaciones activas} other {# automatizaciones activas}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"No hay automatizaciones sin leer","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatización sin leer} many {# automatizaciones sin leer} other {# automatizaciones sin leer}}","inbox.rightPanel.emptyTitle":"Ningún elemento seleccionado","inbox.rightPanel.noThread":"No hay ningún hilo para este elemento","inbox.rightPanel.quickStart.header":"Empezar con una plantilla","inbox.untitled":"Elemento de la bandeja de entrada sin título","loadingPage.documentationLink":"documentación","loadingPage.errorDescription":"Codex ha fallado con el siguiente error:","loadingPage.errorDescription.documentation":"Pulsa «Recargar» para reiniciar la extensión de Codex o visita nuestro {documentationLink} para obtener ayuda adicional.","loadingPage.errorSignal":"Algunas cosas que puedes probar:","loadingPage.errorTitle":"Se ha producido un error","loadingPage.openConfigToml":"Abrir config.toml","loadingPage.reload":"Volver a cargar","localConversation.contextCompacted":"El contexto se ha compactado automáticamente","localConversation.contextCompacting":"Compactando el contexto automáticamente","localConversation.forkedFromConversation":"Bifurcada desde {threadTitle}","localConversation.merge.autoResolve.failed":"Se ha producido un error al solicitar la resolución automática: {error}","localConversation.merge.autoResolve.sent":"Solicitud de resolución automática enviada","localConversation.merge.autoResolveMerge.missingConversation":"No se puede resolver automáticamente sin una conversación activa.","localConversation.merge.autoResolveMerge.request":"Resolver automáticamente los conflictos de fusión","localConversation.modelChanged":"Modelo cambiado de {fromModel} a {toModel}.","localConversation.modelChanged.warning.line1":"Cambiar de modelo a mitad de la conversación degradará el rendimiento.","localConversation.modelChanged.warning.line2":"El contexto puede compactarse automáticamente.","localConversation.moveThread.createBranch.label":"Crear rama","localConversation.moveToLocal.disabled.loading":"Cargando…","localConversation.moveToLocal.modal.continue":"Continuar","localConversation.moveToLocal.modal.destinationLabel":"Mover a ","localConversation.moveToLocal.modal.retry":"Reintentar","localConversation.moveToWorktree.modal.back":"Atrás","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"La rama ya existe.","localConversation.moveToWorktree.modal.branchesError":"No se han podido cargar las ramas","localConversation.moveToWorktree.modal.branchesLoading":"Cargando ramas…","localConversation.moveToWorktree.modal.branchesRetry":"Reintentar","localConversation.moveToWorktree.modal.continue":"Continuar","localConversation.moveToWorktree.modal.retry":"Reintentar","localConversation.moveToWorktree.modal.trailingSlashError":"El nombre de la rama no puede terminar en «/».","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nueva-rama","localConversation.personalityChanged":"Se ha cambiado a la personalidad {personality}","localConversation.planSummary.collapse":"Contraer el resumen del plan","localConversation.planSummary.collapseTooltip":"Contraer","localConversation.planSummary.download":"Descargar plan","localConversation.planSummary.expand":"Expandir el resumen del plan","localConversation.planSummary.expandTooltip":"Ampliar","localConversation.planSummary.openInNewWindow":"Abrir","localConversation.planSummary.openInNewWindow.tooltip":"Abrir en una nueva ventana","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plan de escritura","localConversation.planSummary.viewPlan":"Ampliar plan","localConversation.remoteTaskCreated":"Se ha creado la {taskLink} en Codex Cloud","localConversation.remoteTaskCreated.task":"tarea","localConversation.scrollToBottomButton":"Ir al final","localConversation.sync.buttonLabel":"Transferir a local","localConversation.sync.buttonLabel.tooltip":"Transferir cambios entre este worktree y tu repositorio local.","localConversation.sync.modal.loading.title":"Transfiriendo cambios…","localConversation.sync.modal.noChanges":"Sin cambios","localConversation.syncSetup.branchAriaLabel":"Nombre de la rama","localConversation.syncSetup.branchName":"Nombre de la rama","localConversation.syncSetup.branchPlaceholder.existing":"Selecciona una rama existente","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Cargando ramas…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Ya está activa","localConversation.syncSetup.checkoutClean":"Actualmente en {branchName}","localConversation.syncSetup.checkoutDirty":"Actualmente en {branchName} con cambios sin confirmar","localConversation.syncSetup.checkoutError":"No se ha podido activar la rama: {message}","localConversation.syncSetup.checkoutLabel":"Activar en local ahora","localConversation.syncSetup.checkoutOnLocal":"Transferir a local","localConversation.syncSetup.checkoutPending":"Comprobando el estado local…","localConversation.syncSetup.checkoutUnavailable":"El área de trabajo local no está disponible","localConversation.syncSetup.checkoutUnknown":"La rama local no está disponible","localConversation.syncSetup.continue":"Continuar","localConversation.syncSetup.createBranchError":"No se ha podido configurar la rama de transferencia: {message}","localConversation.syncSetup.error":"Algo ha salido mal: {message}","localConversation.syncSetup.error.workingTreeMissing":"No se ha podido capturar el worktree. Vuelve a intentar la transferencia.","localConversation.syncSetup.mode.ariaLabel":"Selecciona el modo de rama","localConversation.syncSetup.mode.existing":"Rama existente","localConversation.syncSetup.mode.new":"Nueva rama","localConversation.syncSetup.noBranches":"No se han encontrado ramas","localConversation.syncSetup.overwriteError":"La rama se creó, pero la transferencia no se completó. Transfiere manualmente antes de activarla en local.","localConversation.syncSetup.setPrefix":"Establecer prefijo","localConversation.syncSetup.subtitle":"Probar y editar cambios del worktree en local. <a>Más información</a>","localConversation.syncSetup.success.checkedOut":"La rama se creó y está activa en local","localConversation.syncSetup.success.notCheckedOut":"Rama creada","localConversation.syncSetup.title":"Transferir a una rama local","localConversation.syncWorktreeError.branchAriaLabel":"Nombre de la rama","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Elige una rama a la que transferir y vuelve a intentar cargar los cambios.","localConversation.syncWorktreeError.branchSetup.title":"Actualizar rama","localConversation.syncWorktreeError.branchUpdate.cta":"Actualizar y volver a intentar","localConversation.syncWorktreeError.branchUpdate.error":"No se ha podido actualizar la rama: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Algo ha salido mal: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"La rama no está activa en ningún worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Aplicar","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Debes activar la rama en local para aplicar los cambios sin confirmar","localConversation.syncWorktreeV2.branches.empty":"No se han encontrado ramas","localConversation.syncWorktreeV2.branches.loading":"Cargando ramas…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Cambiar la rama de transferencia","localConversation.syncWorktreeV2.changeBranch.error":"No se ha podido cambiar la rama de transferencia: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Se ha producido un error al aplicar","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Se ha producido un error al sobrescribir el worktree","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Se ha producido un error al sobrescribir en local","localConversation.syncWorktreeV2.commandError.back":"Atrás","localConversation.syncWorktreeV2.commandError.body":"Un comando de git falló durante la transferencia. Revisa la salida y vuelve a intentarlo.","localConversation.syncWorktreeV2.commandError.retry":"Reintentar","localConversation.syncWorktreeV2.description":"Transferir cambios entre local y este worktree <a>Más información</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Seleccionar dirección de transferencia","localConversation.syncWorktreeV2.error.generic":"Algo ha ido mal durante la transferencia. Vuelve a intentarlo.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"Calculando cambios","localConversation.syncWorktreeV2.noChanges.summary":"Sin cambios","localConversation.syncWorktreeV2.overwrite.local":"Sobrescribir en local","localConversation.syncWorktreeV2.overwrite.worktree":"Sobrescribir el worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"No se han podido aplicar los cambios","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"No se han podido sobrescribir los cambios locales","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"No se han podido sobrescribir los cambios del worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Aplicado","localConversation.syncWorktreeV2.partial.back":"Atrás","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resuelve los conflictos y vuelve a intentarlo.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflictos","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# archivo} many {# archivos} other {# archivos}}","localConversation.syncWorktreeV2.partial.retry":"Reintentar","localConversation.syncWorktreeV2.partial.skippedLabel":"Omitido","localConversation.syncWorktreeV2.stateFailed.generic":"Algo ha salido mal al obtener los cambios del worktree para transferirlos. Vuelve a intentarlo.","localConversation.syncWorktreeV2.stateFailed.title":"No se han podido cargar los cambios del worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"No se han podido cargar los cambios del worktree.","localConversation.syncWorktreeV2.statusError.retry":"Reintentar","localConversation.syncWorktreeV2.statusError.title":"No se han podido cargar los cambios de la rama local","localConversation.syncWorktreeV2.statusError.unknown":"El estado de la rama no está disponible ahora mismo. Vuelve a intentarlo.","localConversation.syncWorktreeV2.success.apply":"Cambios aplicados correctamente","localConversation.syncWorktreeV2.success.overwrite":"Transferencia completada","localConversation.syncWorktreeV2.title":"Transferir cambios","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Preguntando {count, plural, one {pregunta} many {preguntas} other {preguntas}}","localConversation.userInputRequest.noAnswer":"No se ha proporcionado ninguna respuesta","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Preguntado","localConversation.userInputRequest.summary.count":"{count, plural, one {# pregunta} many {# preguntas} other {# preguntas}}","localConversation.workedFor":"Ha trabajado durante {time}","localConversation.worktreeBranchSetup.action.create":"Crear","localConversation.worktreeBranchSetup.branchAriaLabel":"Nombre de la rama","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Crear una nueva rama","localConversation.worktreeBranchSetup.checkoutDisabled":"Esta rama ya está activa en {location}","localConversation.worktreeBranchSetup.checkoutError":"No se ha podido activar la rama: {message}","localConversation.worktreeBranchSetup.createBranchError":"No se ha podido configurar la rama: {message}","localConversation.worktreeBranchSetup.error":"Algo ha salido mal: {message}","localConversation.worktreeBranchSetup.subtitle":"Crea una rama para confirmar cambios, enviar los cambios y crear una solicitud de extracción desde este worktree. <a>Más información</a>","localConversation.worktreeBranchSetup.title":"Trabajar aquí","localConversationPage.addWorktreeToSidebar.tooltip":"Guarda como proyecto para poder iniciar nuevos hilos desde este worktree","localConversationPage.addWorktreeToSidebarError":"No se ha podido añadir el proyecto","localConversationPage.commitAndCreatePrModal.errorTitle":"Error al confirmar y crear la solicitud de extracción","localConversationPage.commitAndCreatePrModal.successTitle":"Confirmado y solicitud de extracción creada","localConversationPage.commitAndPushModal.errorTitle":"Se ha producido un error al confirmar y enviar","localConversationPage.commitAndPushModal.successTitle":"Cambios confirmados y enviados","localConversationPage.commitCreatePr.open":"Abrir solicitud de extracción","localConversationPage.commitCreatePr.successTitle":"Solicitud de extracción creada con tus últimos cambios","localConversationPage.createBranchButtonLabel":"Rama aquí","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Crear solicitud de extracción","localConversationPage.createPrModal.createDescription":"Abrir una solicitud de extracción para tus últimos cambios.","localConversationPage.createPrModal.errorTitle":"Se ha producido un error en la solicitud de extracción","localConversationPage.createPrModal.headBranch":"Rama de origen","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Abrir solicitud de extracción","localConversationPage.createPrModal.successTitle":"Solicitud de extracción creada","localConversationPage.createPrModal.title":"Crear solicitud de extracción","localConversationPage.createPrModal.viewDescription":"Ya existe una solicitud de extracción para esta rama.","localConversationPage.createPrModal.viewTitle":"Solicitud de extracción lista","localConversationPage.createPullRequestAuthGh":"Autentica GitHub CLI: ejecuta `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Información de la rama no disponible","localConversationPage.createPullRequestButtonLabel":"Crear solicitud de extracción","localConversationPage.createPullRequestButtonLabel.loading":"Creando solicitud de extracción...","localConversationPage.createPullRequestDefaultBranchMissing":"Información de la rama predeterminada no disponible","localConversationPage.createPullRequestError":"No se ha podido crear la solicitud de extracción","localConversationPage.createPullRequestExistingPullRequest":"Ya existe una solicitud de extracción para esta rama","localConversationPage.createPullRequestGhStatusMissing":"Cargando el estado de GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Instala GitHub CLI (gh) para crear solicitudes de extracción","localConversationPage.createPullRequestNoRepo":"No se ha encontrado ningún repositorio git","localConversationPage.createPullRequestPushStatusMissing":"Cargando el estado de envío…","localConversationPage.createPullRequestSetUpstream":"Envía esta rama antes de crear una solicitud de extracción","localConversationPage.createPullRequestSuccessToast":"Solicitud de extracción creada","localConversationPage.createPullRequestSwitchBranch":"Cambia a una rama de funcionalidad antes de crear una solicitud de extracción","localConversationPage.error.render":"Se ha producido un error al mostrar la conversación local","localConversationPage.error.toast":"No se ha encontrado la conversación","localConversationPage.forcePushError":"Error al forzar el envío","localConversationPage.generatePullRequestMessageError":"No se ha podido generar el título y la descripción de la solicitud de extracción","localConversationPage.generatePullRequestMessageFailed":"No se ha podido generar el título y la descripción de la solicitud de extracción.","localConversationPage.gitActionResult.branch":"Rama","localConversationPage.gitActionResult.cancel":"Cancelar","localConversationPage.gitActionResult.close":"Cerrar","localConversationPage.gitActionResult.tryAgain":"Volver a intentarlo","localConversationPage.gitActions":"Acciones de git","localConversationPage.newChat":"Nuevo chat","localConversationPage.openInTarget":"Abrir en","localConversationPage.openPrimaryTarget":"Abrir","localConversationPage.planItemsCompleted":"{completedItems} de {totalItems, plural, one {# tarea completada} many {# tareas completadas} other {# tareas completadas}}","localConversationPage.pushAuthError":"Error al enviar: se requiere autenticación","localConversationPage.pushBranchMissing":"Información de la rama no disponible","localConversationPage.pushButtonLabel":"Notificaciones","localConversationPage.pushButtonLabel.loading":"Enviando...","localConversationPage.pushError":"Se ha producido un error al enviar los cambios","localConversationPage.pushModal.branchLabel":"Rama","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Cancelar","localConversationPage.pushModal.confirm":"Notificaciones","localConversationPage.pushModal.description":"Enviar tus últimas confirmaciones al repositorio remoto.","localConversationPage.pushModal.errorTitle":"Se ha producido un error al enviar","localConversationPage.pushModal.forcePush":"Forzar envío","localConversationPage.pushModal.successTitle":"Envío completado","localConversationPage.pushModal.title":"Enviar cambios","localConversationPage.pushModal.tryAgain":"Volver a intentarlo","localConversationPage.pushNoUpstream":"Establece una rama ascendente antes de enviar esta rama","localConversationPage.pushNoUpstreamError":"Error al enviar: no hay configurada ninguna rama de seguimiento","localConversationPage.pushNothingToPush":"No hay nuevas confirmaciones para enviar","localConversationPage.pushRemoteChangedError":"Error al enviar: el repositorio remoto contiene nuevas confirmaciones","localConversationPage.pushRemoteRejectedError":"El repositorio remoto rechazó el envío","localConversationPage.pushStatusMissing":"Cargando el estado de envío…","localConversationPage.pushSuccessToast":"Cambios enviados","localConversationPage.viewPullRequestButtonLabel":"Ver solicitud de extracción","localConversationPage.viewPullRequestButtonLabel.loading":"Cargando solicitud de extracción...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# archivo} many {# archivos} other {# archivos}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} many {# listas} other {# listas}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# búsqueda} many {# búsquedas} other {# búsquedas}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Explorando","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Explorado","localConversationTurn.exploration.accordion.header.complete.withCounts":"Explorados {counts}","localConversationTurnStory.showContent":"Mostrar contenido","localConversationTurnStory.streamContent":"Transmitir contenido","localConversationTurnStory.toggleReasoning":"Mostrar razonamiento","localTaskRow.archiveError":"Se ha producido un error al archivar la conversación","localTaskRow.resumeError":"Se ha producido un error al reanudar la tarea","mermaidDiagram.ariaLabel":"Diagrama Mermaid","mermaidDiagram.copySource":"Copiar diagrama de Mermaid","mermaidDiagram.originalCode":"Código fuente Mermaid","notifications.permissions.description":"Mostrar avisos cuando se requieran permisos de notificación","notifications.permissions.label":"Habilitar notificaciones de permisos","notifications.turnMode.always":"Siempre","notifications.turnMode.description":"Establecer cuándo Codex te avisa de que ha terminado","notifications.turnMode.label":"Activar notificaciones de finalización","notifications.turnMode.off":"Nunca","notifications.turnMode.unfocused":"Solo cuando no esté en primer plano","patchApprovalRequest.approve":"Aprobar","patchApprovalRequest.menu.allowAlways":"Sí, y no vuelvas a preguntar en esta sesión","patchApprovalRequest.menu.allowForSession":"Sí, y no vuelvas a preguntar en esta sesión","patchApprovalRequest.menu.allowOnce":"Sí","patchApprovalRequest.prompt":"¿Quieres aplicar estos cambios?","patchApprovalRequest.reject":"No","patchApprovalRequest.waitingForApproval":"Esperando aprobación para editar archivos","pendingRequest.approvalExec.collapse":"Contraer","pendingRequest.approvalExec.expand":"Ampliar","pendingRequestStory.toastAnswer":"Respuesta: {answer}","pendingRequestStory.toastApprovalTitle":"Respuesta de aprobación","pendingRequestStory.toastFollowupPrompt":"Indicación: {prompt}","pendingRequestStory.toastFollowupTitle":"Seguimiento enviado","pendingRequestStory.toastNoAnswers":"No se han proporcionado respuestas","pendingRequestStory.toastQuestion":"Pregunta: {question}","pendingRequestStory.toastUnknownDecision":"Desconocido","pendingRequestStory.toastUserInputTitle":"Respuestas enviadas","quickAction.request.codeReview.branches.new":"Revisa los cambios en {from} con respecto a {to}","quickAction.request.codeReview.uncommitted.new":"Revisa mis cambios no confirmados","reasoningItem.thinking":"Pensando","reasoningItem.thought":"Pensado","reasoningItem.thoughtWithElapsed":"Pensamiento de {elapsed}","recentConversations.title":"Conversaciones recientes","recentTasks.worktreeInitFailedTitle":"Se ha producido un error al iniciar worktree","recentTasks.worktreeSettingUpTitle":"Configurando worktree","requestInputPanel.continue":"Continuar","requestInputPanel.dismiss":"Ignorar","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Escribe aquí","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"No, y dile a Codex qué debe hacer de forma diferente","requestInputPanel.selectedBadge":"Seleccionado","requestInputPanel.skip":"Omitir","requestInputPanel.submit":"Enviar","review.commit.ariaLabel.includeUnstaged":"Incluir sin preparar","review.commit.buttonLabel":"Confirmar","review.commit.disabled.committing":"Confirmando…","review.commit.disabled.loadingDiff":"Cargando diferencias…","review.commit.disabled.missingContext":"Añade algo de contexto para generar un mensaje de confirmación","review.commit.disabled.noChanges":"No hay cambios que confirmar","review.commit.disabled.noSelection":"Selecciona los cambios que quieres confirmar","review.commit.disabled.unavailable":"La confirmación no está disponible en este momento","review.commit.error":"No se han podido confirmar los cambios","review.commit.form.changesToBeCommitted":"cambios","review.commit.form.commitTo":"Rama","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuar","review.commit.form.title":"Confirmar tus cambios","review.commit.generate.emptyResponse":"No se ha podido generar un mensaje de confirmación.","review.commit.generate.failed":"No se ha podido generar el mensaje de confirmación: {error}","review.commit.generate.missingPrompt":"Añade algo de contexto para generar un mensaje de confirmación.","review.commit.includeUnstaged":"Incluir sin preparar","review.commit.loading.description":"Un momento, esto puede tardar un poco…","review.commit.loading.step.commit.done":"Cambios confirmados","review.commit.loading.step.commit.pending":"Confirmando cambios","review.commit.loading.step.createPr.done":"Solicitud de extracción creada","review.commit.loading.step.createPr.pending":"Creando una solicitud de extracción","review.commit.loading.step.push.done":"Enviado a la rama {branch}","review.commit.loading.step.push.pending":"Enviado a la rama {branch}","review.commit.loading.title.commit":"Confirmando cambios","review.commit.loading.title.createPr":"Creando una solicitud de extracción","review.commit.loading.title.push":"Enviando cambios","review.commit.messageLabel":"Mensaje de commit","review.commit.messagePlaceholder":"Deja en blanco para generar automáticamente un mensaje de confirmación","review.commit.nextSteps":"Siguientes pasos","review.commit.nextSteps.commit":"Confirmar","review.commit.nextSteps.commitAndCreate":"Confirmar cambios y crear solicitud de extracción","review.commit.nextSteps.commitAndPush":"Confirmar cambios y enviar","review.commit.nextSteps.prRequiresGh":"Requiere la CLI de GitHub: {command}","review.commit.rows.changes":"cambios","review.commit.rows.commitCount":"{count, plural, one {# confirmación} many {# confirmaciones} other {# confirmaciones}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# confirmación} many {# confirmaciones} other {# confirmaciones}} y {stats}","review.commit.rows.fileCount":"{count, plural, one {# archivo} many {# archivos} other {# archivos}}","review.commit.state.error.body":"Se ha producido un error al confirmar. Comprueba el estado de git y vuelve a intentarlo.","review.commit.state.error.title":"Error al confirmar","review.commit.state.success.title":"Cambios confirmados","review.commit.untracked.loadingStats":"Cargando estadísticas de diff sin seguimiento...","reviewFindingAttachments.count":"{count, plural, one {# resultado} many {# resultados} other {# resultados}}","settings.agent.configuration.configToml":"archivo","settings.agent.configuration.configToml.description":"Edita tu configuración para personalizar el comportamiento del agente","settings.agent.configuration.configToml.docs":"Documentos","settings.agent.configuration.configToml.restartNote":"Reinicia Codex tras editar para aplicar los cambios","settings.agent.configuration.subtitle":"Estos ajustes se aplican en cualquier lugar donde se use Codex","settings.automations.banner.danger":"Las automatizaciones se ejecutan con tus ajustes predeterminados del entorno aislado, que actualmente están configurados como «Acceso completo». Ejecutar automatizaciones en segundo plano con acceso completo conlleva un riesgo elevado, ya que Codex puede modificar archivos, ejecutar comandos y acceder a la red sin pedir permiso. Considera actualizar los ajustes del entorno aislado a escritura en el área de trabajo y usar <rulesDocsLink>reglas</rulesDocsLink> para definir de forma selectiva qué comandos puede ejecutar el agente con acceso completo.","settings.automations.banner.defaultHowTo.default":"Las automatizaciones se ejecutan con tus ajustes predeterminados del entorno aislado. Las llamadas a herramientas fallarán si requieren modificar archivos fuera del área de trabajo, acceder a la red o trabajar con aplicaciones de tu ordenador. Puedes permitir de forma selectiva comandos fuera del entorno aislado usando <rulesDocsLink>rules</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Las automatizaciones se ejecutan con tus ajustes predeterminados del entorno aislado, que están configurados como solo lectura. Las llamadas a herramientas fallarán si requieren modificar archivos, acceder a la red o trabajar con aplicaciones de tu ordenador. Considera actualizar los ajustes del entorno aislado a escritura en el área de trabajo.","settings.automations.cancel":"Cancelar","settings.automations.create":"Crear","settings.automations.cwdEmpty":"No hay carpetas de proyecto disponibles","settings.automations.cwdLabel":"Proyectos","settings.automations.cwdPlaceholder":"Elegir una carpeta","settings.automations.cwdSubtitle":"Si quieres que una automatización se ejecute en una rama concreta, puedes indicarlo en la indicación.","settings.automations.delete":"Eliminar","settings.automations.dialog.editTitle":"Editar automatización","settings.automations.dialog.newTitle":"Nueva automatización","settings.automations.dialog.subtitle":"Automatiza tareas recurrentes en segundo plano. Codex añade resultados a la bandeja de entrada o archiva automáticamente la tarea si no hay nada que informar. <learnMoreLink>Más información</learnMoreLink>.","settings.automations.dialog.title":"Crear automatización","settings.automations.executionCopy.git":"Las automatizaciones se ejecutan en segundo plano en worktrees dedicados.","settings.automations.executionCopy.nonGit":"Las automatizaciones en proyectos sin control de versiones se ejecutan directamente en el directorio del proyecto. Considera usar Git para habilitar la ejecución en worktrees en segundo plano.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Cargando…","settings.automations.nameLabel":"Nombre","settings.automations.namePlaceholder":"Comprobar incidencias de Sentry","settings.automations.pause":"Pausa","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"buscar bloqueos en $Sentry","settings.automations.resume":"Reanudar","settings.automations.rruleSummaryFallback":"Calendario personalizado","settings.automations.runNow":"Probar","settings.automations.save":"Guardar","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Entre semana","settings.automations.scheduleBadge.weekends":"Fines de semana","settings.automations.scheduleHeader":"Calendario","settings.automations.scheduleHours":"horas","settings.automations.scheduleLabel":"Ejecutar cada","settings.automations.scheduleMode.daily":"Diariamente","settings.automations.scheduleMode.interval":"Intervalo","settings.automations.scheduleModeLabel":"Tipo de calendario","settings.automations.scheduleSummary.daily":"Diariamente a las {time}","settings.automations.scheduleSummary.interval":"Cada {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# día} many {# días} other {# días}}","settings.automations.scheduleSummary.intervalDays":"{interval} los {days}","settings.automations.scheduleSummary.intervalHourly":"Cada hora","settings.automations.scheduleSummary.singleDay":"{day} a las {time}","settings.automations.scheduleSummary.weekdays":"Entre semana a las {time}","settings.automations.scheduleSummary.weekdaysLabel":"entre semana","settings.automations.scheduleSummary.weekends":"Fines de semana a las {time}","settings.automations.scheduleSummary.weekendsLabel":"fines de semana","settings.automations.scheduleSummary.weekly":"{days} a las {time}","settings.automations.scheduleWeekdays":"Activado","settings.automations.weekdayState.excluded":"Excluido","settings.automations.weekdayState.included":"Incluido","settings.conversationDetail.steps":"Pasos","settings.conversationDetail.steps.description":"Ocultar comandos y resultados","settings.conversationDetail.stepsWithCommands":"Pasos con comandos de código","settings.conversationDetail.stepsWithCommands.description":"Mostrar comandos, contraer resultados","settings.conversationDetail.stepsWithOutput":"Pasos con salida de código","settings.conversationDetail.stepsWithOutput.description":"Mostrar comandos y expandir resultados","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"No hay chats archivados.","settings.dataControls.archivedChats.error":"No se han podido cargar los chats archivados.","settings.dataControls.archivedChats.loading":"Cargando chats archivados...","settings.dataControls.archivedChats.unarchive":"Desarchivar","settings.dataControls.archivedChats.unarchiveError":"No se ha podido desarchivar el chat","settings.dataControls.archivedChats.unarchiveSuccess":"Hilo desarchivado. <viewNowLink>Ver ahora</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Hilo desarchivado.","settings.dataControls.archivedChats.untitled":"Chat sin título","settings.dataControls.archivedChats.viewNow":"Ver ahora","settings.editRow.headerPlaceholder":"Clave","settings.editRow.removeEntry":"Quitar entrada","settings.editRow.valuePlaceholder":"Valor","settings.general.appearance":"Apariencia","settings.general.appearance.codeFont":"Fuente del código","settings.general.appearance.codeFont.description":"Ajustar la fuente y el tamaño usados para el código en los chats y las diferencias","settings.general.appearance.codeFontFamily":"Familia tipográfica del código","settings.general.appearance.codeFontSize":"Tamaño de fuente del código","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Hacer que las ventanas usen un fondo sólido en lugar de la translucidez del sistema","settings.general.appearance.opaqueWindows.label":"Usar fondo de ventana opaco","settings.general.appearance.sansFontFamily":"Familia tipográfica Sans","settings.general.appearance.sansFontFamily.description":"Ajusta la tipografía usada en la interfaz de Codex","settings.general.appearance.sansFontSize":"Tamaño de fuente Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Mostrar efectos de celebración a pantalla completa mientras GPT-5.3-Codex-Spark ejecuta el primer turno","settings.general.appearance.sparkCelebrationEffects.label":"Efectos de celebración Spark","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Oscuro","settings.general.appearance.theme.description":"Usa claro, oscuro o igual que el sistema","settings.general.appearance.theme.light":"Claro","settings.general.appearance.theme.system":"Sistema","settings.general.appearance.usePointerCursors.description":"Cambiar el cursor a puntero al pasar por encima de elementos interactivos","settings.general.appearance.usePointerCursors.label":"Usar cursores de puntero","settings.general.enterBehavior.description":"Cuando está habilitado, las indicaciones multilínea requieren {modifierSymbol} + Intro para enviarse.","settings.general.enterBehavior.label":"Exigir {modifierSymbol} + Intro para enviar indicaciones largas","settings.general.experimentalFeatures":"Funciones experimentales (beta)","settings.general.experimentalFeatures.empty":"No hay funciones experimentales en fase beta disponibles.","settings.general.experimentalFeatures.loading":"Cargando funciones experimentales...","settings.general.experimentalFeatures.restartNote":"Reinicia Codex para aplicar los cambios de las funciones experimentales","settings.general.experimentalFeatures.toggle":"Alternar {featureName}","settings.general.followUpQueueMode.description":"Poner seguimientos en cola mientras Codex se ejecuta o dirigir la ejecución actual. Pulsa {invertFollowUpShortcutLabel} para hacer lo contrario en un solo mensaje.","settings.general.followUpQueueMode.interrupt":"Dirigir","settings.general.followUpQueueMode.label":"Comportamiento de seguimiento","settings.general.followUpQueueMode.queue":"Cola","settings.general.notifications":"Notificaciones","settings.general.power.preventSleepWhileRunning.description":"Mantén el ordenador activo mientras Codex ejecuta un hilo.","settings.general.power.preventSleepWhileRunning.label":"Evitar la suspensión durante la ejecución","settings.git.branchPrefix.ariaLabel":"Prefijo de rama","settings.git.branchPrefix.description":"Prefijo que se usa al crear nuevas ramas en Codex","settings.git.branchPrefix.label":"Prefijo de rama","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Se ha producido un error al guardar el prefijo de la rama","settings.git.branchPrefix.save.success":"Prefijo de la rama guardado","settings.git.commitInstructions.ariaLabel":"Instrucciones de confirmación","settings.git.commitInstructions.description":"Se ha añadido a las indicaciones para generar el mensaje de confirmación","settings.git.commitInstructions.label":"Instrucciones de confirmación","settings.git.commitInstructions.placeholder":"Añadir indicaciones para el mensaje de confirmación...","settings.git.commitInstructions.save":"Guardar","settings.git.commitInstructions.save.error":"No se han podido guardar las instrucciones de confirmación","settings.git.commitInstructions.save.success":"Instrucciones de solicitud de extracción","settings.git.forcePush.ariaLabel":"Forzar envío siempre","settings.git.forcePush.description":"Usar --force-with-lease al enviar desde Codex","settings.git.forcePush.label":"Forzar envío siempre","settings.git.forcePush.save.disabled":"Forzar envío siempre deshabilitado","settings.git.forcePush.save.enabled":"Forzar envío siempre habilitado","settings.git.forcePush.save.error":"Se ha producido un error al guardar el ajuste de forzar envío","settings.git.prInstructions.ariaLabel":"Instrucciones de solicitud de extracción","settings.git.prInstructions.description":"Añadido al contenido de las solicitudes de extracción creadas por Codex","settings.git.prInstructions.label":"Instrucciones de solicitud de extracción","settings.git.prInstructions.placeholder":"Añadir indicaciones para la solicitud de extracción...","settings.git.prInstructions.save":"Guardar","settings.git.prInstructions.save.error":"No se han podido guardar las instrucciones de la solicitud de extracción","settings.git.prInstructions.save.success":"Instrucciones de solicitudes de extracción guardadas","settings.ide.defaultOpenTarget.description":"Dónde se abren archivos y carpetas de forma predeterminada","settings.ide.defaultOpenTarget.label":"Destino de apertura predeterminado","settings.ide.defaultOpenTarget.placeholder":"No se han encontrado destinos","settings.ide.language.auto":"Detección automática","settings.ide.language.autoOption":"Detección automática","settings.ide.language.description":"Idioma de la interfaz de la aplicación","settings.ide.language.label":"Idioma","settings.ide.language.search":"Buscar idiomas","settings.layout.actionButton":"Reiniciar extensión","settings.layout.actionTitle":"Configuración con acción","settings.layout.fullWidthTitle":"Ajustes (ancho completo)","settings.layout.title":"Configuración","settings.localEnvironments.actions.add":"Añadir una acción","settings.localEnvironments.actions.add.description":"Crear un nuevo comando para ejecutar desde la barra de herramientas.","settings.localEnvironments.actions.add.save":"Guardar","settings.localEnvironments.actions.empty":"Añade una acción para ejecutar comandos desde la barra de herramientas local.","settings.localEnvironments.actions.icon.debug":"Depurar","settings.localEnvironments.actions.icon.run":"Ejecutar","settings.localEnvironments.actions.icon.test":"Probar","settings.localEnvironments.actions.icon.tool":"Herramienta","settings.localEnvironments.actions.item.button.delete":"Eliminar","settings.localEnvironments.actions.item.command":"Script de acción","settings.localEnvironments.actions.item.name":"Nombre","settings.localEnvironments.actions.item.platforms":"Plataformas","settings.localEnvironments.actions.item.platforms.help":"Ejecutar solo en un sistema operativo específico.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Selección de plataforma","settings.localEnvironments.actions.item.platforms.specific":"Específico de la plataforma","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Eliminar","settings.localEnvironments.actions.title":"Acciones","settings.localEnvironments.breadcrumb.back":"Atrás","settings.localEnvironments.breadcrumb.edit":"editar","settings.localEnvironments.breadcrumb.root":"Entornos","settings.localEnvironments.environment.actions.description":"Estas acciones pueden ejecutar cualquier comando y se mostrarán en el encabezado.","settings.localEnvironments.environment.actionsLabel":"Acciones","settings.localEnvironments.environment.create":"Crear un entorno local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Editar entorno local","settings.localEnvironments.environment.empty":"Todavía no hay ningún entorno local configurado para este proyecto.","settings.localEnvironments.environment.name":"Nombre","settings.localEnvironments.environment.setup":"Script de configuración","settings.localEnvironments.environment.setup.description":"Este script se ejecutará al crear el worktree.","settings.localEnvironments.environment.setup.hint":"Se ejecuta en la raíz del proyecto.","settings.localEnvironments.environment.setup.platformOverrides":"Anulaciones de la plataforma","settings.localEnvironments.environment.setup.platformOverrides.add":"Añadir {platform} script de configuración","settings.localEnvironments.environment.setup.platformOverrides.description":"Anula el script predeterminado para sistemas operativos específicos.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Quitar","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Detalles del entorno","settings.localEnvironments.file.missing":"Guarda para crear este archivo por primera vez.","settings.localEnvironments.file.parseError":"No se puede analizar el archivo existente. Al guardarlo, se sobrescribirá. ({error})","settings.localEnvironments.file.path":"Archivo: {path}","settings.localEnvironments.file.readError":"No se han podido cargar los datos del entorno local. ({error})","settings.localEnvironments.file.title":"Archivo del entorno local","settings.localEnvironments.loading.body":"Obteniendo la configuración de tu proyecto.","settings.localEnvironments.loading.title":"Cargando entornos locales","settings.localEnvironments.preview.devOnly":"(solo DEV)","settings.localEnvironments.preview.save":"Guardar","settings.localEnvironments.preview.saveError":"No se ha podido guardar el archivo. ({error})","settings.localEnvironments.preview.title":"Vista previa","settings.localEnvironments.save.disabled.name":"Añadir un nombre de entorno para guardar.","settings.localEnvironments.save.disabled.noChanges":"No hay cambios que guardar.","settings.localEnvironments.save.disabled.saving":"Guardando…","settings.localEnvironments.save.success":"Entorno local guardado","settings.localEnvironments.unavailable.body":"No se ha podido cargar la configuración del entorno local para este proyecto.","settings.localEnvironments.unavailable.title":"Entornos locales no disponibles","settings.localEnvironments.workspace.add":"Añadir proyecto","settings.localEnvironments.workspace.title":"Proyecto","settings.localEnvironments.workspaceSelect.addLabel":"Añadir entorno","settings.localEnvironments.workspaceSelect.description":"Los entornos locales indican a Codex cómo configurar worktrees para un proyecto. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"No hay proyectos todavía. Añade uno para configurar entornos locales.","settings.localEnvironments.workspaceSelect.errorLabel":"El entorno requiere atención","settings.localEnvironments.workspaceSelect.learnMore":"Más información","settings.localEnvironments.workspaceSelect.listLabel":"Proyectos disponibles","settings.localEnvironments.workspaceSelect.loading":"Cargando proyectos.","settings.localEnvironments.workspaceSelect.loadingLabel":"Cargando entorno","settings.localEnvironments.workspaceSelect.title":"Seleccionar un proyecto","settings.localEnvironments.workspaceSelect.viewAction":"Ver","settings.mcp.addServer":"Añadir servidor","settings.mcp.app.configure":"Configurar","settings.mcp.app.connect":"Conectar","settings.mcp.apps.refresh":"Actualizar","settings.mcp.detail.addArgument":"Añadir argumento","settings.mcp.detail.addEnvVar":"Añadir variable de entorno","settings.mcp.detail.addEnvVarPassthrough":"Añadir variable","settings.mcp.detail.args":"Argumentos","settings.mcp.detail.back":"Atrás","settings.mcp.detail.command":"Comando para iniciar","settings.mcp.detail.cwd":"Directorio de trabajo","settings.mcp.detail.docs":"Abrir la documentación de MCP","settings.mcp.detail.docs.link":"Documentos","settings.mcp.detail.envVarPassthrough":"Paso de variables de entorno","settings.mcp.detail.envVars":"Variables del entorno","settings.mcp.detail.http.addEnvHeader":"Añadir variable","settings.mcp.detail.http.addHeader":"Añadir encabezado","settings.mcp.detail.http.bearerToken":"Variable de entorno del token de portador","settings.mcp.detail.http.envHeaders":"Encabezados desde variables de entorno","settings.mcp.detail.http.headers":"Encabezados","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nombre","settings.mcp.detail.save":"Guardar","settings.mcp.detail.switchTransportNotice":"Si quieres cambiar el tipo de servidor MCP, primero desinstálalo.","settings.mcp.detail.titleExisting":"Actualizar MCP {name}","settings.mcp.detail.titleNew":"Conectar a un MCP personalizado","settings.mcp.detail.transport.http":"HTTP con transmisión en tiempo real","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Desinstalar","settings.mcp.empty":"No hay servidores MCP personalizados conectados","settings.mcp.myServers":"Servidores personalizados","settings.mcp.partnerServer.description.figma":"Generar mejor código incorporando todo el contexto de Figma","settings.mcp.partnerServer.description.github":"Integrar con las API de GitHub para automatizar flujos de trabajo y extraer datos","settings.mcp.partnerServer.description.linear":"Integrar con el seguimiento de incidencias y la gestión de proyectos de Linear","settings.mcp.partnerServer.description.notion":"Leer documentación, actualizar páginas, gestionar tareas","settings.mcp.partnerServer.description.playwright":"Integrar con la automatización del navegador para implementar el diseño y probar la interfaz.","settings.mcp.partnerServer.install":"Instalar","settings.mcp.partnerServer.installAndAuthenticate":"Instalar y autenticar","settings.mcp.partnerServer.logoAlt":"{label} logo","settings.mcp.partnerServer.manage":"Gestionar","settings.mcp.partnerServer.vendor":"por {vendor}","settings.mcp.recommendedServers":"Servidores recomendados","settings.mcp.restartApp":"Reiniciar","settings.mcp.restartExtension":"Reiniciar extensión","settings.mcp.server.enable":"Habilitar","settings.mcp.server.login":"Autenticar","settings.mcp.server.settings":"Configuración","settings.multiselect.createOption":"Crear «{value}»","settings.multiselect.removeOption":"Quitar","settings.nav.account":"Cuenta","settings.nav.agent":"Configuración","settings.nav.ariaLabel":"Configuración","settings.nav.back":"Volver a la aplicación","settings.nav.data-controls":"Hilos archivados","settings.nav.environments":"Entornos en la nube","settings.nav.externalTooltip":"[alpha] Se abre en el navegador","settings.nav.general-settings":"General","settings.nav.git-settings":"Git","settings.nav.local-environments":"Entornos","settings.nav.mcp-settings":"Servidores MCP","settings.nav.notImplemented":"[alpha] No está disponible en Alpha","settings.nav.personalization":"Personalización","settings.nav.skills-settings":"Habilidades","settings.nav.usage-analytics":"Uso y analítica","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Atrás","settings.openSourceLicenses.loading":"Cargando…","settings.openSourceLicenses.missing":"No se han encontrado avisos de terceros.","settings.openSourceLicenses.notSupported":"No disponible en este host.","settings.openSourceLicenses.rowDescription":"Avisos de terceros para dependencias incluidas","settings.openSourceLicenses.rowLabel":"Licencias de código abierto","settings.openSourceLicenses.subtitle":"Avisos de terceros para las dependencias incluidas en esta aplicación","settings.openSourceLicenses.title":"Licencias de código abierto","settings.openSourceLicenses.view":"Ver","settings.personalization.agents.description":"Edita las instrucciones que adaptan Codex a ti. {learnMore}","settings.personalization.agents.learnMore":"Más información","settings.personalization.agents.loadError":"No se ha podido cargar agents.md.","settings.personalization.agents.loading":"Cargando agents.md…","settings.personalization.agents.placeholder":"Añade tus instrucciones personalizadas…","settings.personalization.agents.retry":"Reintentar","settings.personalization.agents.save":"Guardar","settings.personalization.agents.save.error":"No se ha podido guardar agents.md.","settings.personalization.agents.save.success":"agents.md guardado","settings.personalization.agents.title":"Instrucciones personalizadas","settings.personalization.personality.description":"Elige un tono predeterminado para las respuestas de Codex","settings.personalization.personality.label":"Personalidad","settings.sample.contentBody":"Usa este diseño para crear tus paneles de ajustes con un espaciado coherente.","settings.sample.contentTitle":"Bloque de contenido de ejemplo","settings.section.account":"Cuenta","settings.section.agent":"Configuración","settings.section.data-controls":"Hilos archivados","settings.section.environments":"Entornos en la nube","settings.section.external":"Se abre en tu navegador durante la fase alfa","settings.section.general-settings":"General","settings.section.git-settings":"Git","settings.section.local-environments":"Entornos","settings.section.mcp-settings":"Servidores MCP","settings.section.mcp-settings.docs":"Documentos","settings.section.mcp-settings.subtitle":"Conecta herramientas externas y orígenes de datos.","settings.section.personalization":"Personalización","settings.section.skills-settings":"Habilidades","settings.section.unavailable":"Todavía no disponible en la fase alfa","settings.section.usage-analytics":"Uso y analítica","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"Elegir cuánta salida de comandos mostrar en los hilos","settings.threadDetail.label":"Detalle del hilo","settings.worktrees.conversation.untitled":"Conversación sin título","settings.worktrees.delete.error":"Se ha producido un error al eliminar el worktree","settings.worktrees.empty.body":"Los Worktrees creados por Codex aparecerán aquí.","settings.worktrees.empty.title":"Aún no hay worktrees","settings.worktrees.error.body":"Algo ha ido mal al cargar los worktrees.","settings.worktrees.error.retry":"Reintentar","settings.worktrees.error.title":"No se han podido cargar los worktrees","settings.worktrees.loading.body":"Obteniendo detalles del worktree.","settings.worktrees.loading.title":"Cargando worktrees","settings.worktrees.repository.loading":"Cargando metadatos del repositorio…","settings.worktrees.repository.unknown":"Repositorio desconocido","settings.worktrees.row.conversations":"Conversaciones","settings.worktrees.row.conversations.empty":"No hay conversaciones vinculadas a este worktree.","settings.worktrees.row.conversations.loading":"Cargando conversaciones…","settings.worktrees.row.delete":"Eliminar","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Añadir nuevo proyecto","sidebarElectron.archiveThread":"Archivar hilo","sidebarElectron.archiveThreadError":"No se ha podido archivar el hilo","sidebarElectron.collapseFolder":"Contraer carpeta","sidebarElectron.createStableWorktree.dialog.cancel":"Cancelar","sidebarElectron.createStableWorktree.dialog.create":"Crear","sidebarElectron.debugNavLink":"Depurar","sidebarElectron.editWorkspaceRootOptionName":"Editar nombre","sidebarElectron.expandFolder":"Expandir carpeta","sidebarElectron.groupByMenu.recency":"Lista cronológica","sidebarElectron.groupByMenu.title":"Organizar","sidebarElectron.groupByMenu.workspace":"Por proyecto","sidebarElectron.inboxRouteNavLink":"Automatizaciones","sidebarElectron.markThreadUnread":"Marcar como no leído","sidebarElectron.missingWorkspaceRoot":"La carpeta de este proyecto se ha eliminado o movido","sidebarElectron.newThread":"Nuevo hilo","sidebarElectron.newThreadInGroup":"Iniciar un hilo nuevo en {folder}","sidebarElectron.noRecentThreads":"No hay hilos recientes","sidebarElectron.noTasks":"No hay hilos","sidebarElectron.noTasks.start":"Añadir un proyecto nuevo","sidebarElectron.noTasksWithFilter":"No hay hilos que coincidan con los filtros","sidebarElectron.pinnedThreads":"Hilos anclados","sidebarElectron.recentNavLink":"Hilos","sidebarElectron.recentThreads":"Hilos recientes","sidebarElectron.removeWorkspaceRootOption":"Quitar","sidebarElectron.renameThread":"Cambiar nombre del hilo","sidebarElectron.renameThreadDialogAriaLabel":"Título del hilo","sidebarElectron.renameThreadDialogCancel":"Cancelar","sidebarElectron.renameThreadDialogPlaceholder":"Añadir un título…","sidebarElectron.renameThreadDialogSave":"Guardar","sidebarElectron.renameThreadDialogSubtitle":"Procura que sea breve y fácil de identificar.","sidebarElectron.renameThreadDialogTitle":"Cambiar nombre del hilo","sidebarElectron.renameThreadError":"No se ha podido cambiar el nombre del hilo","sidebarElectron.renameWorkspaceRootOptionLabel":"Nombre para mostrar","sidebarElectron.showLess":"Mostrar menos","sidebarElectron.showMenu.all":"Todos los hilos","sidebarElectron.showMenu.relevant":"Relevante","sidebarElectron.showMenu.relevantHint":"Mostrar solo los hilos recientes de la rama actual, los worktrees u otros hilos que requieran tu atención","sidebarElectron.showMenu.title":"Mostrar","sidebarElectron.showMenu.tooltip":"Filtrar, ordenar y organizar hilos","sidebarElectron.showMenu.trigger":"Filtrar hilos de la barra lateral","sidebarElectron.showMore":"Mostrar más","sidebarElectron.skillsRouteNavLink":"Habilidades","sidebarElectron.sortMenu.created":"Creado","sidebarElectron.sortMenu.title":"Ordenar por","sidebarElectron.sortMenu.updated":"Actualizado","sidebarElectron.taskNavigation":"Carpetas de automatizaciones","sidebarElectron.tasksInFolder":"Automatizaciones en {folder}","sidebarElectron.workspaceOptions":"Acciones del proyecto para {folder}","sidebarElectron.worktreeGroupTooltip":"Esto es un worktree de git","skills.appsPage.createSkill":"Nueva habilidad","skills.appsPage.empty.skills":"No se han encontrado habilidades","skills.appsPage.search.skills":"Buscar habilidades","skills.appsPage.search.skills.label":"Buscar habilidades","skills.appsPage.section.installedApps":"Instalado","skills.appsPage.section.skills":"Habilidades","skills.appsPage.subheading":"Dale superpoderes a Codex. <link>Más información</link>","skills.appsPage.tab.recommended":"Recomendado","skills.appsPage.tab.skills":"Habilidades","skills.card.contentsError":"No se puede cargar el contenido de las habilidades.","skills.card.disable":"Deshabilitar","skills.card.disableSuccess":"Habilidad {skillName} deshabilitada","skills.card.disabledBadge":"Deshabilitado","skills.card.enable":"Habilitar","skills.card.enableSuccess":"Habilidad {skillName} habilitada","skills.card.loadingContents":"Cargando contenidos de la habilidad","skills.card.more":"Más acciones","skills.card.open":"Abrir","skills.card.removeFailed":"No se ha podido desinstalar la habilidad","skills.card.removeSuccess":"Habilidad {skillName} desinstalada","skills.card.toggleEnabledError":"Se ha producido un error al actualizar la habilidad","skills.card.try":"Probar","skills.card.trySkill":"Probar habilidad","skills.card.uninstall":"Desinstalar","skills.hero.dotLabel":"Ir a la diapositiva {index}","skills.hero.next":"Siguiente habilidad destacada","skills.hero.trySkill":"Probar habilidad","skills.page.createSkill":"Nueva habilidad","skills.page.empty":"No se han encontrado habilidades","skills.page.filteredEmpty":"Ninguna habilidad coincide con tus filtros","skills.page.filteredEmptyDescription":"Intenta ajustar tus filtros de búsqueda o alcance","skills.page.heading":"Habilidades","skills.page.loading":"Cargando habilidades…","skills.page.refreshSkills":"Actualizar","skills.page.refreshSkillsToUseNew":"Actualizar para usar la(s) nueva(s) habilidad(es)","skills.page.search":"Buscar habilidades","skills.page.search.label":"Buscar habilidades","skills.page.subheading":"Dale superpoderes a Codex. <link>Más información</link>","skills.preview.copyPrompt":"Copiar indicación","skills.preview.examplePrompt":"Ejemplo de indicación","skills.recommended.error":"No se han podido cargar las habilidades recomendadas","skills.recommended.install":"Instalar","skills.recommended.installSkill":"Instalar habilidad","skills.recommended.installSuccess":"Habilidad {skillName} instalada","skills.recommended.installed":"Instalado","skills.scope.admin":"Administrador","skills.scope.adminInstalled":"Administrador instalado","skills.scope.builtIn":"Sistema","skills.scope.personal":"Personal","skills.scope.repo":"Repo","skills.scope.system":"Sistema","skills.scope.team":"Equipo","skills.scope.user":"Usuario","skills.section.installed":"Instalado","skills.section.recommended":"Recomendado","story.slidingToggle.existing":"Existente","story.slidingToggle.fromLocal":"Desde local","story.slidingToggle.new":"Nuevo","story.slidingToggle.toLocal":"A local","terminal.close":"Cerrar terminal","terminal.title":"Terminal","thinkingShimmer.default":"Pensando","threadEnvIcon.cloudTooltip":"Esta conversación se está ejecutando en Codex Cloud.","threadEnvIcon.localTooltip":"Esta conversación se está ejecutando localmente.","threadEnvIcon.worktreeTooltip":"Esta conversación se ejecuta en un worktree local de git.","threadHeader.archiveConfirmCancel":"Cancelar","threadHeader.archiveConfirmConfirm":"Archivar","threadHeader.archiveConfirmSubtitle":"Puedes encontrarlo más adelante en tus hilos archivados.","threadHeader.archiveConfirmTitle":"¿Archivar hilo?","threadHeader.copyAppLink":"Copiar enlace profundo","threadHeader.copySessionId":"Copiar ID de sesión","threadHeader.copyWorkingDirectory":"Copiar directorio de trabajo","threadHeader.forkIntoLocal":"Bifurcar a local","threadHeader.forkIntoWorktree":"Bifurcar a un nuevo worktree","threadHeader.forkPendingWorktreePrompt":"Bifurcar esta conversación a un nuevo worktree.","threadHeader.forkPendingWorktreeTitle":"Conversación bifurcada","threadHeader.forkThreadError":"Se ha producido un error al bifurcar la conversación","threadHeader.forkThreadRequiresGitRepo":"Bifurcar a un nuevo worktree requiere un repositorio git","threadHeader.moreActions":"Acciones del hilo","threadPage.newThread":"Nuevo hilo","threadPage.runAction.changeEnvironment":"Cambiar entorno","threadPage.runAction.dropdown.titleWithEnvironment":"Acciones de {environmentName}","threadPage.runAction.environmentSelector.label":"Elegir entorno","threadPage.runAction.label":"Ejecutar","threadPage.runAction.missing.label":"Configurar una acción de ejecución","threadPage.runAction.setup.commandLabel":"Comando para ejecutar","threadPage.runAction.setup.description":"Indica a Codex cómo instalar las dependencias e iniciar tu aplicación.","threadPage.runAction.setup.editMore":"Configuración de entorno","threadPage.runAction.setup.placeholder":"Por ejemplo: npm install npm run","threadPage.runAction.setup.submit":"Guardar y ejecutar","threadPage.runAction.setup.title":"Ejecutar","threadPage.runAction.tooltip.withEnvironment":"Acciones de {environmentName}","threadPage.toggleDiffPanel":"Alternar panel de diferencias","threadPage.toggleTerminal":"Alternar terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Abrir carpeta","toolSummaryForCmd.exploredFiles":"<verb>Archivos</verb> enumerados","toolSummaryForCmd.exploredFilesInPath":"<verb>Archivos</verb> enumerados en {path}","toolSummaryForCmd.exploringFiles":"<verb>Enumerando</verb> archivos","toolSummaryForCmd.exploringFilesInPath":"<verb>Enumerando</verb> archivos en {path}","toolSummaryForCmd.ranGenericCommand":"<status>Comando ejecutado</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ejecutado</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Leer</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Ejecutando comando</status>{timer}","toolSummaryForCmd.runningTimer":"para {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Se ha buscado</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Se han buscado</verb> archivos","toolSummaryForCmd.searchedForInPath":"<verb>Se ha buscado</verb> {query} en {path}","toolSummaryForCmd.searchingFor":"<verb>Buscando</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Buscando</verb> archivos","toolSummaryForCmd.searchingForInPath":"<verb>Buscando</verb> {query} en {path}","traceRecording.details.noteLabel":"¿Qué hacías cuando ocurrió esto? (opcional)","traceRecording.details.notePlaceholder":"Abrí un hilo grande y luego cambié de pestaña varias veces...","traceRecording.details.submit":"Enviar registro","traceRecording.details.subtitle":"Podemos enviar este registro de perfil para ayudar a diagnosticar problemas de rendimiento.","traceRecording.details.title":"¿Enviar registro de perfil?","traceRecording.progress.subtitle":"Mantener Codex abierto mientras se completa.","traceRecording.saving.title":"Guardando registro...","traceRecording.startDetails.cancel":"Cancelar","traceRecording.startDetails.submit":"Aceptar e iniciar grabación","traceRecording.startDetails.subtitle":"Después de pulsar «Aceptar», reproduce el problema de rendimiento y luego pulsa el indicador rojo flotante para detener la grabación y revisar el registro.","traceRecording.startDetails.title":"Cómo funciona la grabación de registros","traceRecording.stopButton.ariaLabel":"Detener la grabación del registro","traceRecording.upload.successToast":"Registro de perfil enviado.","traceRecording.uploading.title":"Cargando registro...","wham.diff.addComment":"Añadir comentario","wham.diff.binaryFile":"Archivo binario no mostrado","wham.diff.noContent":"Sin contenido","wham.fileTag.deleted":"Se ha eliminado.","wham.fileTag.new":"Nuevo","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} m","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} s","wham.formattedRelativeDateTime.compactYearsAgo":"{value} a","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Trabajando en tu tarea","wham.whamProposedTask.title":"Tarea sugerida","wham.whamProposedTask.useSuggestion":"Usar sugerencia","workspaceRootDialog.addError":"No se ha podido añadir el proyecto","workspaceRootDialog.cancel":"Cancelar","workspaceRootDialog.confirmAdd":"Añadir proyecto","workspaceRootDialog.confirmPick":"Usar proyecto","workspaceRootDialog.description":"Introduce una ruta en {host} para usarla como proyecto.","workspaceRootDialog.pathLabel":"Ruta del proyecto","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Añadir ruta del proyecto","workspaceRootDialog.title.pick":"Elegir ruta del proyecto","worktreeInitV2.cancel":"Cancelar","worktreeInitV2.notification.failedTitle":"Error en la configuración del worktree.","worktreeInitV2.output.empty":"Esperando la salida…","worktreeInitV2.status.error":"Error en la configuración del worktree.","worktreeInitV2.status.running":"Creando un worktree y ejecutando la configuración.","worktreeInitV2.status.runningFork":"Creando un worktree para bifurcar esta conversación.","worktreeInitV2.status.success":"Worktree listo.","worktreeInitV2.title":"Creando worktree","worktreeInitV2.workLocallyInstead":"Trabajar en local como alternativa","worktreeRestoreBanner.body":"El worktree de este hilo se ha eliminado para ahorrar espacio en disco","worktreeRestoreBanner.missing.body":"El directorio de trabajo de este hilo ya no existe","worktreeRestoreBanner.missing.title":"Falta el directorio de trabajo actual","worktreeRestoreBanner.restore.error":"Se ha producido un error al restaurar el worktree: {message}","worktreeRestoreBanner.restore.success":"Worktree restaurado","worktreeRestoreBanner.restoreCta":"Restaurar worktree","worktreeRestoreBanner.title":"Worktree limpiado"};Object.assign(e,globalThis.codexI18nOverrides?.["es-ES"]);export{e as default};
 //# sourceMappingURL=es-ES-C7ULTIfJ.js.map
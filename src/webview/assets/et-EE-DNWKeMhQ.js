@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopeeri","app.sidebar.hide":"Peida külgriba","app.sidebar.show":"Kuva külgriba","app.sidebar.tooltip":"Külgriba sisselülitamine","appHeader.installUpdate":"Värskenda","appSunset.body":"Seda rakenduse versiooni enam ei toetata. Laadi alla uusim versioon <here>siit</here>.","appSunset.title":"Värskendus nõutud","automation.updateDirective.create":"Loo","automation.updateDirective.open":"Ava","automation.updateDirective.untitled":"Nimetu automatiseerimisülesanne","automation.updateDirective.update":"Värskenda","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# katse} other {# katset}}","cloudTaskRow.archiveError":"Ülesande arhiivimine ebaõnnestus","code.diff.requestChange":"Taotle muutust","code.diffComment.cancel":"Tühista","code.diffComment.comment":"Kommenteeri","code.diffComment.delete":"Kustuta","code.diffComment.save":"Salvesta","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Vasteid ei tuvastatud.","codex.alert.closeAriaLabel":"Sulge","codex.appUpsellBanner.cbpApi.message":"Codexi rakendusega töötad kiiremini. Laadi kohe alla või {learnMoreLink}.","codex.appUpsellBanner.download":"Laadi alla","codex.appUpsellBanner.freeGo.message":"Codex on sinu tellimusega saadaval 2. märtsini. Kiiremaks tööks proovi Codexi rakendust.","codex.appUpsellBanner.later":"Hiljem","codex.appUpsellBanner.learnMoreLowercase":"loe lisateavet siit","codex.appUpsellBanner.new":"Uus","codex.appUpsellBanner.proPlusBusiness.message":"Proovi Codexi rakendust kahekordse mahulimiidiga kuni 2. aprillini. Laadi kohe alla või {learnMoreLink}.","codex.appUpsellBanner.title":"Codexi rakendus","codex.applyDropdown.header.changes":"Muudatused","codex.applyDropdown.header.fileCount":"{count, plural, one {# fail} other {# faili}}","codex.applyDropdown.header.rows":"read","codex.applyDropdown.header.title":"Rakenda muudatused","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 konfliktne fail:} other {{count} konfliktset faili:}}","codex.applyDropdown.results.empty":"Ühtki faili ei kopeeritud","codex.applyDropdown.results.skipped":"{count, plural, one {1 fail vahele jäetud:} other {{count} faili vahele jäetud:}}","codex.applyOrRevertBanner.apply":"Kohalda","codex.applyOrRevertBanner.applyMessage":"Rakenda muudatused ja jätka lokaalselt?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"See ülesanne on koostatud keskkonnas {environment}, seega ei pruugi see puhtalt kohalduda.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Keskkonnas {environment} tehtud muudatused ei pruugi puhtalt kohalduda.","codex.applyOrRevertBanner.reapply":"Rakenda uuesti","codex.applyOrRevertBanner.revert":"Pööra ümber","codex.applyOrRevertBanner.revertMessage":"Pööra rakendatud muudatused ümber?","codex.applyResultsDialog.applied":"Rakendatud puhtalt ({count})","codex.applyResultsDialog.close":"Sulge","codex.applyResultsDialog.conflicted":"Konfliktne ({count})","codex.applyResultsDialog.noDetails":"Faili andmed pole saadaval.","codex.applyResultsDialog.skipped":"Jäeti vahele ({count})","codex.applyResultsDialog.title":"Rakenda tulemused","codex.archiveInfo":"Vaata arhiivitud vestlusi siin: {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Andmete juhtelemendid","codex.archiveInfo.electron":"Vaata arhiveeritud vestlusi siin: {settingsLink}","codex.archiveInfo.extension":"Vaata arhiivitud kaustas .codex. ","codex.archiveInfo.settingsLink":"Seaded","codex.banner.content.description":"Käivita ülesanded paralleelselt, jälgi protsessi kõikjal ja vaata AI abil üle PR-id.","codex.banner.content.headline":"Codex teeb seda kõike.","codex.cloudTaskRow.archiveTask":"Arhiivi ülesanne","codex.cloudTaskRow.confirmArchiveTask":"Kinnita","codex.command.feedback":"Tagasiside","codex.command.findInThread":"Leia","codex.command.forceReloadSkills":"Oskuste uuesti sundlaadimine","codex.command.logOut":"Logi välja","codex.command.manageTasks":"Halda ülesandeid","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Tagasi","codex.command.navigateForward":"Edasi","codex.command.newThread":"Uus lõim","codex.command.nextThread":"Järgmine lõim","codex.command.openFolder":"Ava kaust","codex.command.openSkills":"Ava oskused","codex.command.openThreadOverlay":"Lõime hüpikaken","codex.command.personalitySettings":"Isikupära","codex.command.previousThread":"Eelmine lõim","codex.command.settings":"Seaded","codex.command.toggleDiffPanel":"Diffi paneeli valikud","codex.command.toggleSidebar":"Külgriba sisselülitamine","codex.command.toggleTerminal":"Terminali valikud","codex.commandGroup.app":"Rakendus","codex.commandGroup.configure":"Konfigureeri","codex.commandGroup.navigation":"Navigeerimine","codex.commandGroup.panels":"Paneelid","codex.commandGroup.skills":"Oskused","codex.commandGroup.thread":"Lõim","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Vasteid ei leitud","codex.commandMenu.searchPlaceholder":"Käskluste otsing","codex.commandMenu.suggestedGroup":"Soovitatud","codex.commandMenu.switchWorkspace":"Vaheta projekti","codex.commandMenu.title":"Käskluste menüü","codex.common.retry":"Proovi uuesti","codex.composer.searchBranches":"Otsi harusid...","codex.dialog.basic.body":"See on lihtne modaalsuse dialoogiaken, mis kasutab meie Radix Dialogi kestprogrammi.","codex.dialog.basic.cancel":"Tühista","codex.dialog.basic.confirm":"Kinnita","codex.dialog.basic.open":"Ava dialoog","codex.dialog.basic.title":"Näidisdialoog","codex.dialog.long.close":"Sulge","codex.dialog.long.line":"Keritav rida {index}, et näidata pikka sisu dialoogi sees.","codex.dialog.long.open":"Ava pikk dialoog","codex.dialog.long.title":"Pikk sisu dialoog","codex.dialog.unstyled.body":"See lugu näitab, kuidas kõnes osalejad saavad täielikult määrata dialoogi sisu stiili.","codex.dialog.unstyled.open":"Ava stiilita dialoog","codex.dialog.unstyled.title":"Stiilita sisu","codex.diff.openInEditorPrompt.openButton":"Ava redaktoris","codex.diff.openInEditorPrompt.singleLine":"See fail on siin kuvamiseks liiga suur.","codex.diffView.failedToDecodeBase64Diff":"Base64 dff’i dekodeerimine ebaõnnestus","codex.diffView.filesChanged":"{fileCount, plural, one {# fail muudetud} other {# faili muudetud}}","codex.diffView.imagePreviewAlt":"Pildi eelvaade","codex.diffView.imagePreviewEmpty":"Pilte pole","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Diff’i andmed puuduvad","codex.diffView.pdfPreview.nextPage":"Järgmine lehekülg","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Eelmine lehekülg","codex.diffView.pdfPreviewEmpty":"PDF-i eelvaade puudub","codex.diffView.pdfPreviewError":"PDF-i eelvaadet ei saanud kuvada","codex.diffView.richPreviewDisable":"Keela rikkalik eelvaade","codex.diffView.richPreviewEnable":"Luba rikkalik eelvaade","codex.diffView.richPreviewLoading":"Eelvaate laadimine...","codex.diffView.richPreviewToggle":"Rikkaliku eelvaate valikud","codex.diffView.switchToUnified":"Lülitu unifitseeritud diffile","codex.environmentSelector.noEnvironment":"Keskkonnad puuduvad","codex.environments.environmentSettings":"Keskkonna seaded","codex.environments.learnMore":"Lisateave","codex.environments.listError":"Keskkondade laadimine nurjus.","codex.environments.noEnvironmentsFound":"Keskkondi ei leitud","codex.environments.searchError":"Keskkondade otsimine nurjus.","codex.errorBoundary.genericError":"Oih, ilmnes tõrge","codex.errorBoundary.goHome":"Proovi uuesti","codex.file.patch.missing":"Sellele failile ei saanud paika koostada.","codex.gallery.automations.cwdLabel":"Projektid","codex.gallery.automations.nameLabel":"Nimi","codex.gallery.automations.namePlaceholder":"Tee ülesandest kokkuvõte","codex.gallery.automations.promptLabel":"Viip","codex.gallery.automations.promptPlaceholder":"Kirjelda, mida Codexil tuleks teha","codex.gallery.dialogs.automation.label":"Automatiseerimisülesande dialoog","codex.gallery.dialogs.basic.body":"Kasuta seda kujundust lihtnõusolekute või lühivormide jaoks.","codex.gallery.dialogs.basic.cancel":"Tühista","codex.gallery.dialogs.basic.confirm":"Kinnita","codex.gallery.dialogs.basic.label":"Põhidialoog","codex.gallery.dialogs.basic.title":"Näidisdialoog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Kirjelda probleemi…","codex.gallery.dialogs.feedbackSubmission.bad":"Halb tulemus","codex.gallery.dialogs.feedbackSubmission.bug":"Viga","codex.gallery.dialogs.feedbackSubmission.good":"Hea tulemus","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Lisa praeguse Codexi seansi logid","codex.gallery.dialogs.feedbackSubmission.label":"Tagasiside esitamine","codex.gallery.dialogs.feedbackSubmission.other":"Muu","codex.gallery.dialogs.feedbackSubmission.placeholder":"Kirjelda probleemi siin","codex.gallery.dialogs.feedbackSubmission.submit":"Esita","codex.gallery.dialogs.feedbackSubmission.title":"Tagasiside","codex.gallery.dialogs.feedbackSuccess.body":"Tagasiside on üles laaditud. Probleemi püsimisel ava GitHubi tõrketeade või maini lõime ID-d olemasolevas teemas:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Hülga","codex.gallery.dialogs.feedbackSuccess.label":"Tagasiside edukalt esitatud","codex.gallery.dialogs.feedbackSuccess.title":"Tagasiside on üles laaditud.","codex.gallery.dialogs.gitApplyResults.applied":"Rakendatud puhtalt (2)","codex.gallery.dialogs.gitApplyResults.close":"Sulge","codex.gallery.dialogs.gitApplyResults.conflicted":"Konfliktsed (1)","codex.gallery.dialogs.gitApplyResults.label":"Rakenda tulemused","codex.gallery.dialogs.gitApplyResults.title":"Rakenda tulemused","codex.gallery.dialogs.gitPushError.body":"Tõmba viimased muudatused või tee sund-push, kui tead, et kaugajaloo ülekirjutamine on turvaline.","codex.gallery.dialogs.gitPushError.cancel":"Tühista","codex.gallery.dialogs.gitPushError.force":"Sundpush","codex.gallery.dialogs.gitPushError.label":"Pushi viga","codex.gallery.dialogs.gitPushError.subtitle":"Sinu haru on origin/main-ist maha jäänud.","codex.gallery.dialogs.gitPushError.title":"Muudatuste push nurjus","codex.gallery.dialogs.gitRevert.cancel":"Tühista","codex.gallery.dialogs.gitRevert.confirm":"Pööra ümber","codex.gallery.dialogs.gitRevert.label":"Tühista muudatused","codex.gallery.dialogs.gitRevert.skip":"Ära rohkem küsi","codex.gallery.dialogs.gitRevert.subtitle":"Selle toiminguga eemaldatakse kõik need muudatused.","codex.gallery.dialogs.gitRevert.title":"Kas tühistada muudatused?","codex.gallery.dialogs.longForm.label":"Pikk dialoog","codex.gallery.dialogs.proseModal.body":"Seda modaalstiili kasutatakse pikemate juhiste, alustavate kasutajate juhendamise ja rikkalike sisuplokkide jaoks.","codex.gallery.dialogs.proseModal.close":"Sulge","codex.gallery.dialogs.proseModal.subtitle":"Jaga pikemaid juhiseid või dokumente siin.","codex.gallery.dialogs.proseModal.title":"Tekstimodaal","codex.gallery.dialogs.submitBlocked.label":"Esitamine blokeeritud","codex.gallery.dialogs.submitBlocked.message":"Sõnumit ei saanud saata, sest projekt ei ole kättesaadav.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Sõnumit ei saanud saata","codex.gallery.dialogs.title":"Dialoogid","codex.gallery.dropdown.filterPlaceholder":"Üksuste filtreerimine","codex.gallery.dropdowns.actionRow":"Toiminguread","codex.gallery.dropdowns.actionRow.disabled":"Keelatud tegevus","codex.gallery.dropdowns.actionRow.primary":"Peamine tegevus","codex.gallery.dropdowns.actionRow.secondary":"Teisene tegevus","codex.gallery.dropdowns.actionRow.trigger":"Kuva tegevused","codex.gallery.dropdowns.basic":"Lihtne ripploend","codex.gallery.dropdowns.basic.newFile":"Uus fail","codex.gallery.dropdowns.basic.newFolder":"Uus kaust","codex.gallery.dropdowns.basic.openSettings":"Ava seaded","codex.gallery.dropdowns.basic.title":"Kiirtoimingud","codex.gallery.dropdowns.basic.trigger":"Ava menüü","codex.gallery.dropdowns.basic.upload":"Laadi üles","codex.gallery.dropdowns.panel":"Paneel","codex.gallery.dropdowns.panel.apply":"Kohalda","codex.gallery.dropdowns.panel.body":"Vaata üle diffid ja rakenda oma projektis.","codex.gallery.dropdowns.panel.preview":"Eelvaade","codex.gallery.dropdowns.panel.title":"Rakenda muudatused","codex.gallery.dropdowns.panel.trigger":"Ava paneel","codex.gallery.dropdowns.search":"Otsinguvõimalusega ripploend","codex.gallery.dropdowns.search.first":"Alpha kanal","codex.gallery.dropdowns.search.second":"Beeta haru","codex.gallery.dropdowns.search.third":"Avaldamiseks olemas","codex.gallery.dropdowns.search.trigger":"Üksuste filtreerimine","codex.gallery.dropdowns.submenu":"Ripploend alammenüüga","codex.gallery.dropdowns.submenu.optionA":"Projekt alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt beeta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Määra omanik","codex.gallery.dropdowns.submenu.secondary":"Liiguta siia:","codex.gallery.dropdowns.submenu.tertiary":"Arhiivi","codex.gallery.dropdowns.submenu.trigger":"Vali tegevus","codex.gallery.dropdowns.title":"Ripploendid","codex.gallery.inbox.automations.close":"Sulge","codex.gallery.inbox.automations.popover.cardTitle":"Halda automatiseerimisülesandeid","codex.gallery.inbox.automations.popover.dialogTitle":"Halda automatiseerimisülesandeid","codex.header.settingsTooltip":"Seaded","codex.hunk.patch.error":"Ei saanud proovilauale panna","codex.hunk.patch.missing":"Selle koodilõigule ei saanud paika koostada.","codex.hunk.patch.partialSuccess":"Õnnestus osaliselt","codex.hunk.patch.revertError":"Ei saanud proovilaualt eemaldada","codex.hunk.patch.revertSuccess":"Edukalt proovilaualt eemaldatud","codex.hunk.patch.success":"Edukalt proovilauale pandud","codex.legal.autonomy.details":"Vaata üksikasju {link}","codex.legal.autonomy.details.link":"Codexi dokumendid","codex.legal.autonomy.title":"Otsusta, kui palju autonoomsust soovid anda","codex.legal.backButton":"Tagasi","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt","codex.legal.cloud.taskOne.title":"Selgita varamut uuele disainerile","codex.legal.cloud.taskThree.meta":"openai/codex · 8. okt","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Loo tumeda režiimiga teema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Paranda alustamisega seotud viga","codex.legal.continue.apikey":"Jätka","codex.legal.continueButton":"Järgmine","codex.legal.copilot.details":"Kasutab sinu Copiloti plaani kõigi mudeli kõnede, arvelduste ja hinnangu piirangute puhul. Codexi laiendi kasutamisele kehtivad nii {oaiTos} kui ka {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHubi teenusetingimused","codex.legal.copilot.oaiTosLink":"OpenAI Codexi teenusetingimused","codex.legal.copilot.title":"Platvormiks on GitHub Copilot","codex.legal.mistakes.review":"Vaata üle kood, mida see kirjutab ja mis käsklusi see käivitab","codex.legal.mistakes.title":"Codex võib eksida","codex.legal.powered.details":"Kasutab sinu plaani määra piiranguid ja {link}","codex.legal.powered.details.link":"koolitusandmete eelistused","codex.legal.powered.title":"Platvormiks on sinu ChatGPT konto","codex.legal.step.cloud.subtitle":"Saada ülesandeid Codexile, et kasutada neid taustal, et saaksid paremini keskenduda ja kiiremini edasi liikuda.","codex.legal.step.cloud.title":"Esita Codexile pilves","codex.legal.step.intro.subtitle":"Codex navigeerib, parandab, käivitab käsklusi ja rakendab teste otse sinu varamus. Platvormiks on sinu ChatGPT konto.","codex.legal.step.intro.title":"Codex sinu IDE-s","codex.legal.step.todo.subtitle":"Kirjuta TÖÖDE NIMEKIRJA kommentaar ja muuda see ühe klõpsuga Codexi ülesandeks.","codex.legal.step.todo.title":"Muuda TÖÖDE NIMEKIRJAD Codexi ülesanneteks","codex.legal.todo.heading":"// TÖÖDE NIMEKIRI: rakenda skeem","codex.localConversation.closeImagePreview":"Sulge pildi eelvaade","codex.localConversation.userImageAttachment":"Kasutaja manus","codex.localTaskRow.archiveTask":"Arhiivi lõim","codex.localTaskRow.awaitingApproval":"Heakskiidu ootel","codex.localTaskRow.awaitingResponse":"Vastuse ootamine","codex.localTaskRow.confirmArchiveTask":"Kinnita","codex.loggedOut.apiKeyPrompt.cancel":"Tühista","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Hangi API-võti","codex.loggedOut.apiKeyPrompt.inputLabel":"Sisesta OpenAI API-võti","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Pilve ülesanded inaktiveeritud API-võtmega","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Pilve ülesanded inaktiveeritud Copiloti ja API-võtmega","codex.loggedOut.signIn":"Logi sisse ChatGPT-ga","codex.loggedOut.signIn.cancel":"Tühista sisselogimine","codex.loggedOut.signInWithCopilot":"Logi sisse GitHub Copilotiga","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Kasuta API-võtit","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} tööriist","codex.mcpTool.collapsedLabel.verb.called":"Käivitatud","codex.mcpTool.collapsedLabel.verb.calling":"Käivitamine","codex.mcpTool.embeddedResource.contentLabel":"Sisu","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME tüüp","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Tööriist ei andnud sisu","codex.mcpTool.rawPayloadHeading":"Toor-{server}.{tool} tööriistakäivituse last","codex.menu.recent":"Hiljutine","codex.menu.seeAllHistory":"Vaata tervet ajalugu","codex.modelCapacityBanner.headline.noReset":"{modelName} on hetkel saavutanud võimete piiri. Proovi hiljem uuesti või alusta uut vestlust teise mudeliga.","codex.modelCapacityBanner.headline.withReset":"{modelName}  on hetkel saavutanud võimete piiri. Proovi mõne aja pärast uuesti ({resetDate}) või alusta uut vestlust teise mudeliga.","codex.modelCapacityBanner.title":"Valitud mudel on saavutanud võimete piiri","codex.patch.change.contentsDeleted":"Sisu kustutatud","codex.patch.change.created":"Loodud","codex.patch.change.created-file":"Loodud fail","codex.patch.change.creating":"Loomine","codex.patch.change.deleted":"Kustutatud","codex.patch.change.deleted-file":"Kustutatud fail","codex.patch.change.deleting":"Kustutamine","codex.patch.change.edited":"Redigeeritud","codex.patch.change.edited-file":"Redigeeritud fail","codex.patch.change.editing":"Redigeerimine","codex.patch.change.noChanges":"Muudatusi pole","codex.patch.change.rejected-add":"Tagasi lükatud","codex.patch.change.rejected-delete":"Tagasi lükatud","codex.patch.change.rejected-edit":"Tagasi lükatud","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed}/{total} ülesandest lõpetatud","codex.plan.todoListCreated":"Tööde nimekiri on koostatud {total} ülesandega","codex.profileDropdown.apiKeyAuth":"Logitud sisse API-võtmega","codex.profileDropdown.codexSettings":"Codexi seaded","codex.profileDropdown.copilotAuth":"Logitud sisse Copilotiga","codex.profileDropdown.defaultAccountTitle":"Vaikimisi konto","codex.profileDropdown.enterBehavior":"Pikkade viipade saatmiseks kasuta {modifierSymbol} + sisestusklahv ","codex.profileDropdown.enterBehaviorError":"Seadete värskendamine ebaõnnestus","codex.profileDropdown.getPlus":"Täiusta tellmust suurema limiidi saamiseks","codex.profileDropdown.keyboardShortcuts":"Kiirklahvid","codex.profileDropdown.language":"Keel","codex.profileDropdown.languageDefault":"Tuvasta automaatselt","codex.profileDropdown.languageSearchPlaceholder":"Otsi keeli","codex.profileDropdown.languageUpdateError":"Keele muutmine nurjus","codex.profileDropdown.logOut":"Logi välja","codex.profileDropdown.mcp":"MCP-seaded","codex.profileDropdown.openConfigToml":"Ava config.toml","codex.profileDropdown.openConfigToml.wsl":"Ava config.toml WSLi keskkonnas","codex.profileDropdown.openExtensionSettings":"Ava seaded","codex.profileDropdown.openMcpSettings":"Ava MCP-seaded","codex.profileDropdown.openOnStartup":"Ava käivitamisel","codex.profileDropdown.openOnStartupError":"Seadete värskendamine ebaõnnestus","codex.profileDropdown.openSkillsSettings":"Ava oskuste seaded","codex.profileDropdown.personalAccountTitle":"Isiklik konto","codex.profileDropdown.queueFollowUps":"Pane järeltegevused järjekorda","codex.profileDropdown.queueFollowUpsError":"Seade värskendamine nurjus","codex.profileDropdown.readDocs":"Loeb dokumente","codex.profileDropdown.readSkillsDocs":"Loeb dokumente","codex.profileDropdown.runInWsl":"Käivita WSL-is","codex.profileDropdown.runInWslError":"Seadete värskendamine ebaõnnestus","codex.profileDropdown.runInWslTooltip":"Käivitab Codexi WSL-is. Soovitatud liivakasti täiustatud turvalisuse ja parema jõudluse.","codex.profileDropdown.settings":"IDE seaded","codex.profileDropdown.settingsPage":"Seaded","codex.profileDropdown.signInWithOpenAI":"Logi sisse ChatGPT-ga","codex.profileDropdown.skills":"Oskuste seaded","codex.profileDropdown.switchToCopilotAccount":"Kasuta Copiloti kontot","codex.profileDropdown.switchToOpenAIAccount":"Kasuta OpenAI kontot","codex.profileDropdown.todoCodelens":"Paranda TÖÖDE NIMEKIRJA kommentaare","codex.profileDropdown.todoCodelensError":"Seadete värskendamine ebaõnnestus","codex.profileDropdown.windowsDocumentation":"Windowsi dokumentatsioon","codex.profileFooter.signedInFallback":"Seaded","codex.profileFooter.upgrade":"Täiusta","codex.recentTasksMenu.clearSearch":"Tühjenda otsing","codex.recentTasksMenu.cloud":"Pilve ülesanded","codex.recentTasksMenu.count":"{count, plural, =0 {Lõpetamata ülesanded puuduvad} one {# pooleliolev ülesanne} other {# pooleliolevat ülesannet}}","codex.recentTasksMenu.empty":"Pole veel lõimi","codex.recentTasksMenu.errorCloud":"Ülesannete laadimine nurjus.","codex.recentTasksMenu.errorCloud.inline":"Pilve ülesannete laadimine nurjus.","codex.recentTasksMenu.filterAll":"Kõik","codex.recentTasksMenu.filterCloudTasks":"Filtreeri pilve ülesanded","codex.recentTasksMenu.filterTooltip":"Ülesannete filtreerimine keskkonna järgi","codex.recentTasksMenu.local":"Kohalikud ülesanded","codex.recentTasksMenu.recent":"Kõik ülesanded","codex.recentTasksMenu.search":"Otsi hiljutisi ülesandeid","codex.recentTasksMenu.searchEmpty":"Tulemusi pole","codex.recentTasksMenu.tooltip":"Ülesande ajalugu","codex.recentTasksMenu.trigger":"Hiljutised ülesanded. {count, plural, one {# pooleli} other {# pooleli}}","codex.remoteConversation.applyDiff.applyCta":"Rakenda muudatused","codex.remoteConversation.applyDiff.dropdownTitle":"Rakenda muudatused kohalikus harus","codex.remoteConversation.applyDiff.revertCta":"Tühista muudatused","codex.remoteConversation.closeImagePreview":"Sulge pildi eelvaade","codex.remoteConversation.codexCloudTask":"Sa vaatad <u>Codexi pilve</u> ülesannet","codex.remoteConversation.errorWithMessage":"Viga: {message}","codex.remoteConversation.loadingImage":"Pildi laadimine","codex.remoteConversation.openInWeb":"Ava veebis","codex.remoteConversation.streaming":"Alustamine","codex.remoteConversation.turnFailed":"Selle ülesande käigus esines viga","codex.remoteConversation.turnTab.loading":"Katse {number}","codex.remoteConversation.turnTab.title":"Katse {number}","codex.remoteConversation.userImageAttachment":"Kasutaja manus","codex.remoteConversation.viewPreviousTurns":"Ava veebis","codex.remoteConversation.viewPreviousTurns.buttonText":"Ava","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Ava veebis","codex.review.copyGitApplyCommand":"Kopeeri git apply käsklus","codex.review.copyGitApplyCommand.toast":"Kopeeritud git apply käsklus lõikelauale","codex.review.diffTooLarge.description":"See diff on ülevaates kuvamiseks liiga suur.","codex.review.diffTooLarge.title":"See diff on kuvamiseks liiga suur","codex.review.expandOrCollapseDiffButton.collapse":"Kahanda kõik erinevused","codex.review.expandOrCollapseDiffButton.expand":"Laienda kõik erinevused","codex.review.expandOrCollapseDiffMenu.collapse":"Kahanda kõik erinevused","codex.review.expandOrCollapseDiffMenu.expand":"Laienda kõik erinevused","codex.review.fileSearch.clear":"Tühjenda failide filter","codex.review.fileSearch.empty":"Ükski fail ei vasta praegusele filtrile.","codex.review.fileSearch.label":"Failide filtreerimine","codex.review.fileSearch.placeholder":"Failide filtreerimine...","codex.review.filesChanged":"{num, plural, =0 {Faile ei muudetud} one {# fail muudetud} other {# faili muudetud}}","codex.review.find.loadMore":"Laadi veel vastavusi","codex.review.fullReview.hideFileTree":"Peida failipuu","codex.review.fullReview.showFileTree":"Kuva failipuu","codex.review.header.moreOptions":"Ülevaate valikud","codex.review.largeDiff.banner":"Leitud suur diff – kuvatakse üks fail korraga.","codex.review.loadFullFiles.disable":"Ära laadi täismahus faile","codex.review.loadFullFiles.enable":"Laadi täismahus faile","codex.review.noDiff":"Faili muudatused kuvatakse siin","codex.review.noDiff.gitInit.createRepository":"Loo giti varamu","codex.review.noDiff.gitInit.creating":"Loomine…","codex.review.noDiff.gitInit.error":"Giti käivitus nurjus: {message}","codex.review.noDiff.gitInit.success":"Giti varamu loodud","codex.review.noDiff.gitRepoRequired.description":"Jägi ja tühista selles projektis tehtavaid muudatusi","codex.review.noDiff.gitRepoRequired.title":"Loo giti varamu","codex.review.noDiff.orNoLongerAvailable":"või viimased erinevused ei ole enam saadaval","codex.review.noDiff.reverted":"Viimane käik on tagasi võetud","codex.review.noDiff.revertedOrCommitted":"Viimane käik on tagasi võetud või rakendatud","codex.review.refreshGitQueries":"Värskenda","codex.review.revert.file.error":"Tagasipööramine nurjus: {path}","codex.review.revert.file.partialSuccess":"Osaliselt tagasi pööratud: {path}","codex.review.revert.file.success":"Tagasi pööratud: {path}","codex.review.revert.hunk.error":"Koodilõigu {hunkNumber} tagasipööramine ({path}) nurjus","codex.review.revert.hunk.partialSuccess":"Koodilõik {hunkNumber} osaliselt tagasi pööratud ({path}) ","codex.review.revert.hunk.success":"Koodilõik {hunkNumber} tagasi pööratud ({path}) ","codex.review.revert.section.error":"Lõigu tagasipööramine nurjus","codex.review.revert.section.partialSuccess":"Lõik osaliselt tagasi pööratud","codex.review.revert.section.success":"Lõik tagasi pööratud","codex.review.revertDialog.cancel":"Tühista","codex.review.revertDialog.confirm":"Kinnita","codex.review.revertDialog.message":"Selle toiminguga eemaldatakse kõik need muudatused.","codex.review.revertDialog.skip":"Ära rohkem küsi","codex.review.revertDialog.title":"Kas tühistada muudatused?","codex.review.richPreview.disable":"Keela rikkalik eelvaade","codex.review.richPreview.enable":"Luba rikkalik eelvaade","codex.review.source.cloud":"Pilvemuudatused","codex.review.source.local.all":"Kõik harude muudatused","codex.review.source.local.lastTurn":"Viimase vahetuse muudatused","codex.review.source.local.uncommitted":"Rakendamata muudatused","codex.review.source.worktree":"Kehtestamata muudatused tööpuus","codex.review.stageFilter.empty.staged.description":"Aktsepteeri muudatused proovilaual kuvamiseks","codex.review.stageFilter.empty.staged.title":"Proovilaual kuvatud muudatusi pole","codex.review.stageFilter.empty.unstaged.description":"Koodi muudatused kuvatakse siin","codex.review.stageFilter.empty.unstaged.title":"Proovilaual kuvamata muudatusi pole","codex.review.stageFilter.staged":"Proovilaual","codex.review.stageFilter.staged.count":"Proovilaual · {count}","codex.review.stageFilter.unstaged":"Proovilaualt eemaldatud","codex.review.stageFilter.unstaged.count":"Proovilaualt eemaldatud · {count}","codex.review.switchToSplit":"Lülitu poolitatud diffile","codex.review.switchToUnified":"Lülitu unifitseeritud diff’ile","codex.review.toggleDiffView":"Diffi vaate valikud","codex.review.wordDiffs.disable":"Keela sõnalise tasandi diffid","codex.review.wordDiffs.enable":"Luba sõnalise tasandi diffid","codex.review.wrap.disable":"Keela reamurdmine","codex.review.wrap.enable":"Luba reamurdmine","codex.section.patch.missing":"Selle lõigule ei saanud paika koostada.","codex.shell.collapse":"Kahanda käsuprotsessor","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Kopeeritud käsuprotsessori sisu","codex.shell.copy.copyTooltip":"Kopeeri käsuprotsessori sisu","codex.shell.copyCommand":"Kopeeri käsklus","codex.shell.copyOutput":"Kopeeri väljund","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Laienda käsuprotsessorit","codex.shell.name":"Käsuprotsessor","codex.shell.noOutput":"Väljund puudub","codex.signInFailed.message":"Sisselogimine nurjus: {rawMessage}","codex.stories.toast.show":"Näita Toasti","codex.stories.tooltip.basic":"See on kohtspikker","codex.stories.tooltip.hoverMe":"Hõljuta mind","codex.stories.tooltip.largerOffset":"Sellel kohtspikril on suurem nihe","codex.stories.tooltip.offsetButton":"Suurem nihe","codex.stories.tooltip.shortcutButton":"Otseteega","codex.stories.tooltip.withShortcut":"Terminali valikud","codex.taskRow.title":"Uus lõim","codex.taskRowLayout.confirm":"Kinnita","codex.threadFindBar.chatFilter":"Otsi vestlusi","codex.threadFindBar.close":"Sulge otsing","codex.threadFindBar.diffFilter":"Otsi diffe","codex.threadFindBar.label":"Otsi lõimes","codex.threadFindBar.nextResult":"Järgmine vaste","codex.threadFindBar.noResults":"0 vastet","codex.threadFindBar.placeholder":"Otsi lõime...","codex.threadFindBar.placeholder.extension":"Otsi lõime...","codex.threadFindBar.placeholder.review":"Otsi diffi...","codex.threadFindBar.placeholder.review.extension":"Otsi diffi...","codex.threadFindBar.previousResult":"Eelmine vaste","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fail muudetud} other {# faili muudetud}}","codex.unifiedDiff.inlineLargeFile":"Liiga suur tekstisiseseks renderdamiseks","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Ennista","codex.unifiedDiff.revertPatchError":"Muudatuste ümber pööramine nurjus","codex.unifiedDiff.revertPatchSuccess":"Muudatused ümber pööratud","codex.unifiedDiff.reviewChangesSuffix":"muudatused","codex.unifiedDiff.reviewShort":"Vaata üle","codex.unifiedDiff.viewDiffTooltip":"Vaata üle","codex.upsellBanner.business.headline":"Et saada rohkem juurdepääsu kohe, saada taotlus oma administraatorile või oota kuni {resetDate}.","codex.upsellBanner.cbp.headline":"Et saada rohkem juurdepääsu nüüd, saada taotlus oma administraatorile.","codex.upsellBanner.cta.addCredits":"Lisa tiitrid","codex.upsellBanner.cta.upgradeAccount":"Täiusta","codex.upsellBanner.cta.viewUsage":"Vaata kasutust","codex.upsellBanner.freeOrGo.headline":"Sinu mahulimiit lähtestatakse {resetDate}. Et Codexit edasi kasutada, täiusta juba täna versioonile Plus.","codex.upsellBanner.general.headline":"Sinu mahulimiit lähtestatakse {resetDate}. ","codex.upsellBanner.general.title":"Sinu Codexi sõnumite maht on täis","codex.upsellBanner.plus.headline":"Sinu mahulimiit lähtestatakse {resetDate}. Et Codexit edasi kasutada, lisa krediiti või täiusta juba täna versioonile Pro.","codex.upsellBanner.pro.headline":"Sinu mahulimiit lähtestatakse {resetDate}. Et Codexit edasi kasutada, lisa krediiti.","codex.userMessage.autoResolveSync":"Konfliktide automaatmestimine","codex.userMessage.commentCount":"{count, plural, one {# kommentaari} other {# kommentaari}}","codex.userMessage.copiedAriaLabel":"Kopeeritud","codex.userMessage.copiedTooltip":"Kopeeritud","codex.userMessage.copyAriaLabel":"Kopeeri sõnum","codex.userMessage.copyTooltip":"Kopeeri","codex.userMessage.implementPlan":"Kasuta","codex.userMessage.noContent":"(Sisu puudub)","codex.userMessage.priorConversation":"Eelneva vestluse viited","codex.userMessage.reviewMode":"Ülevaaterežiim","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} jaoks","codex.webSearch.summary.verb.completed":"Otsiti veebist","codex.webSearch.summary.verb.inProgress":"Otsitakse veebist","codex.windowsInstallWslBanner.dismiss":"Hülga","codex.windowsInstallWslBanner.installWslCta":"Luba liivakast","codex.windowsInstallWslBanner.learnMore":"Lisateave","codex.windowsSandboxBanner.content":"Agendirežiim kasutab Windowsi eksperimentaalset liivakasti, et piirata failisüsteemile ja võrgule juurdepääsu. {sandboxLink}","codex.windowsSandboxBanner.title":"Luba agendirežiimis liivakast","codex.windowsSubDropdown.windowsSandbox":"Windowsi liivakast","codex.windowsSubDropdown.windowsSettings":"Windowsi seaded","codexUpgradeModal.body":"Codexit käivitab nüüd GPT-5.2-Codex, meie uusim agentne koodiloomemudel. Koodiloomes on see {link}; veelgi osavam kui GPT-5.2.","codexUpgradeModal.close":"Sulge","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"nutikam ja kiirem","codexUpgradeModal.title":"Codex sai just täiustuse","codexUpgradeModal.tryNewModel":"Proovi GPT-5.2-Codexit","codexUpgradeModal.useExistingModel":"Jätka praeguse mudeliga","commentAttachments.numComments":"{count, plural, one {# kommentaari} other {# kommentaari}}","commentAttachments.removeAriaLabel":"Eemalda kommentaaride manus","common.close":"Sulge","composer.addContext.openFilePickerError":"Failide valijat ei saanud avada","composer.addContextDropdown.ariaLabel":"Failide lisamine ja muud","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Failide lisamine ja muud","composer.addPhotosAndFiles":"Lisa fotosid ja faile","composer.atMentionList.emptyQuery":"Tipi failide otsimiseks","composer.atMentionList.loading":"Otsimine…","composer.atMentionList.noResults":"Tulemusi pole","composer.attemptsSelector.option":"{count, plural, one {# versioon} other {# versiooni}}","composer.attemptsSelector.tooltip":"Paralleelsete katsete arv, mida Codex peab tegema","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Peata","composer.cloudFollowUp.cloud":"Pilv","composer.cloudFollowUp.local":"Kohalik","composer.cloudFollowUp.whereRun":"Kus peaks see jätkuprogramm töötama?","composer.cloudTaskCreationError":"Pilve ülesande loomisel esines viga","composer.cloudTaskError":"Viga ülesande loomisel","composer.contextWindow.autoCompactionTooltipLine1":"Codex tihendab oma sisu automaatselt","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Konteksti aken:","composer.contextWindowUsageStatusFull":"{usage}% täis","composer.contextWindowUsageStatusLeft":"{usage}% kasutatud ({remaining}% alles)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokenit kasutatud","composer.customCliTooltip":"Kasutab kohandatud CLI käivitatavat faili","composer.dictation.aria":"Dikteeri","composer.dictation.cancel.aria":"Lõpeta dikteerimine","composer.dictation.cancel.tooltip":"Lõpeta dikteerimine","composer.dictation.startError":"Dikteerimist ei saanud alustada","composer.dictation.submit.aria":"Tee üleskirjutus ja saada","composer.dictation.submit.tooltip":"Tee üleskirjutus ja saada","composer.dictation.tooltip":"Dikteerimiseks hoia all","composer.dictation.transcribeError":"Heli üleskirjutust ei saanud teostada","composer.dictation.unsupported":"Dikteerimine ei ole selles seadmes saadaval","composer.dropOverlay.holdShift":"Hoia kukutamiseks all nuppu {key}","composer.dropOverlay.shiftKey":"Tõstuklahv","composer.environmentSelector.createNew":"Loo uus","composer.environmentSelector.error":"Viga keskkondade laadimisel","composer.environmentSelector.goBack":"Tagasi komposerisse","composer.environmentSelector.title":"Vali keskkond","composer.environmentSelector.tooltip":"Vali pilvekeskkond","composer.feedbackSlashCommand.title":"Tagasiside","composer.filePicker.selectFile":"Vali fail","composer.filePicker.selectFiles":"Vali failid","composer.followerTooltip":"Jätkamiseks liigu tagasi aknasse, kus see vestlus algas.","composer.footer.branchSwitch.checkoutError":"Haru vahetamine nurjus: {message}","composer.footer.branchSwitch.createAndCheckout":"Loo ja vormista uus haru...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Uue haru loomiseks ja vormistamiseks kehtesta muudatused","composer.footer.branchSwitch.createBranchError":"Haru loomine nurjus: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Haru nimi","composer.footer.branchSwitch.createDialog.branchExistsError":"Haru on juba olemas","composer.footer.branchSwitch.createDialog.close":"Sulge","composer.footer.branchSwitch.createDialog.createAndCheckout":"Loo ja vormista","composer.footer.branchSwitch.createDialog.placeholder":"uus-haru","composer.footer.branchSwitch.createDialog.title":"Loo ja vormista haru","composer.footer.branchSwitch.createDialog.trailingSlashError":"Haru nimi ei saa lõppeda sümboliga /","composer.footer.branchSwitch.tooltip":"Vaheta haru","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Kehtesta muudatused ({fileCount, plural, one {# fail} other {# faili}}), et vormistada {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"muudatused ({fileCount, plural, one {# fail} other {# faili}}), et vormistada {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Tühista","composer.footer.branchSwitch.uncommittedDialog.commit":"Kehtesta ja vaheta haru...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Sinu muudatused järgmistes failides kirjutatakse vormistamisel üle:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Jätkamiseks kehtesta oma muudatused","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"valitud haru","composer.footer.branchSwitch.uncommittedDialog.title":"Haru vahetamiseks kehtesta muudatused","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Kehtestamata: {fileCount, plural, one {# fail} other {# faili}}","composer.forkSlashCommand.description":"Hargi see lõim kohalikku töökoopiasse või uude tööpuusse","composer.forkSlashCommand.option.local.description":"Jätka uues kohalikus lõimes","composer.forkSlashCommand.option.local.title":"Hargi kohalikku töökoopiasse","composer.forkSlashCommand.option.worktree.description":"Jätka uues tööpuus","composer.forkSlashCommand.option.worktree.title":"Hargi uude tööpuusse","composer.forkSlashCommand.title":"Kopeeri","composer.imageInputsUnsupported":"See mudel ei toeta piltsisendit. Proovi teist mudelit.","composer.imageUploadFailed":"Pildi üles laadimine nurjus","composer.includeIdeContextDropdown":"Kaasa IDE kontekst","composer.includeIdeContextDropdown.ariaLabel":"Kaasa IDE kontekst","composer.localCwdDropdown.addWorkspaceRoot":"Lisa uus projekt","composer.localCwdDropdown.noActiveRoot":"Vali oma projekt","composer.localCwdDropdown.noResults":"Kaustasid ei leitud","composer.localCwdDropdown.title":"Vali oma projekt","composer.localTaskError":"Viga vestluse alustamisel","composer.mcpSlashCommand.description":"Kuva MCP-serveri olek","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Autentimata","composer.mcpStatus.authOauth":"Autenditud (OAuth)","composer.mcpStatus.authToken":"Autenditud (API võti)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Sulge","composer.mcpStatus.disabled":"Keelatud","composer.mcpStatus.emptyLabel":"Serverid:","composer.mcpStatus.emptyValue":"MCP-servereid ei ole konfigureeritud","composer.mcpStatus.enabled":"Lubatud","composer.mcpStatus.errorLabel":"Olek:","composer.mcpStatus.errorValue":"MCP olekut ei saanud laadida","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Lülitusrežiim","composer.mode.agentMode.custom":"Kohandatud","composer.mode.agentMode.custom.dropdownLabel":"Kohandatud","composer.mode.agentMode.custom.option":"Kohandatud (config.toml)","composer.mode.agentMode.custom.optionLabel":"Kohandatud (config.toml)","composer.mode.agentMode.customInfo.cancel":"Tühista","composer.mode.agentMode.customInfo.cli":"Saad kohandada neid seadeid CLIst või redigeerides faili otse.","composer.mode.agentMode.customInfo.confirm":"Kasuta kohandatud režiimi","composer.mode.agentMode.customInfo.description":"Kohandatud režiimi rakendatakse aktsepteerimise ja sandboxi põhimõtetele, mis on määratletud sinu <link>config.toml</link> failis.","composer.mode.agentMode.customInfo.docs":"Lisateavet konfiguratsioonide aktsepteerimise ja sandboxi põhimõtete kohta leiad <link>nendest dokumentidest</link>.","composer.mode.agentMode.customInfo.refresh":"Mis tahes muudatused rakendatakse järgmisel korral, kui agent käivitatakse.","composer.mode.agentMode.customInfo.title":"Kuidas kohandatud režiim toimib","composer.mode.agentMode.fullAccess":"Agent (täielik juurdepääs)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (täielik juurdepääs)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (täielik juurdepääs)","composer.mode.agentMode.fullAccessConfirm.caution":"Ole täieliku juurdepääsu aktiveerimisel ettevaatlik. See vähendab oluliselt andmete kadumise, lekete või ootamatu käitumise riski.","composer.mode.agentMode.fullAccessConfirm.confirm":"Jah, jätka siiski","composer.mode.agentMode.fullAccessConfirm.description":"Kui Codex töötab täieliku juurdepääsuga, saab see redigeerida mis tahes faili sinu arvutis ja rakendada käsklusi võrgus, ilma sinu nõusolekuta.","composer.mode.agentMode.fullAccessConfirm.goBack":"Tühista","composer.mode.agentMode.fullAccessConfirm.title":"Aktiveeri täielik juurdepääs?","composer.mode.agentMode.readOnly":"Vestlus","composer.mode.agentMode.readOnly.dropdownLabel":"Vestlus","composer.mode.agentMode.readOnly.optionLabel":"Vestlus","composer.mode.agentMode.tooltip":"Lülitusrežiim","composer.mode.agentMode.tooltip.auto":"Loeb ja redigeerib faile ja täidab käsklusi.","composer.mode.agentMode.tooltip.custom":"Kasuta kõige hiljutisemat nõusolekut ja sandboxi poliitikaid, mis on määratud config.toml failis.","composer.mode.agentMode.tooltip.fullAccess":"Codex saab redigeerida faile sellest projektist väljaspool ja käivitada käsklusi võrgu juurdepääsuga. Ole selle kasutamisel ettevaatlik.","composer.mode.agentMode.tooltip.readOnly":"Vajab failide redigeerimiseks ja käskluste täitmiseks nõusolekut.","composer.mode.cloud.tooltip":"Tööta pilvekeskkonnas","composer.mode.contactAdmin":"Suurema juurdepääsu saamiseks võta ühendust oma administraatoriga","composer.mode.local":"Kohalik","composer.mode.local.learnMore":"Lisateave","composer.mode.local.model.custom":"Kohandatud","composer.mode.local.model.loadingModel":"Mudeli laadimine","composer.mode.local.model.selecrReasoningEffort":"Vali arutlemine","composer.mode.local.model.selectModel":"Vali mudel","composer.mode.local.model.tooltip":"Vali mudel","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Kõrge","composer.mode.local.reasoning.low.label":"Madal","composer.mode.local.reasoning.medium.label":"Keskmine","composer.mode.local.reasoning.minimal.label":"Minimaalne","composer.mode.local.reasoning.none.label":"Puudub","composer.mode.local.reasoning.xhigh.label":"Eriti suur","composer.mode.localRemoteWhereRun":"Vali, kus ülesanne käivitada","composer.mode.newTask.header":"Jätka režiimis","composer.mode.rateLimit.day":"{days} p","composer.mode.rateLimit.heading":"Hinnangute piirangut jäänud","composer.mode.rateLimit.hour":"{hours}t","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} limiit:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {iganädalane piirang} other {{weeks}-nädalane piirang}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Iga nädal} other {{weeks} nädalat}}","composer.mode.remote.connectToCloud":"Ühenda Codexi veeb","composer.mode.remote.connectToCloudDisabledTooltip":"Seadista keskkond Codexi veebi abil, et aktiveerida ülesannete saatmine pilve","composer.mode.remote.selectEnvironment":"Vali keskkond","composer.mode.remote.sendToCloud":"Saada pilve","composer.mode.remote.setupViaWeb":"Seadista keskkond Codex veebi abil","composer.mode.runInCloud":"Pilv","composer.mode.runInCloudWithEnvironment":"Pilv · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Tööta pilvekeskkonnas","composer.mode.segmentedToggle.local.tooltip":"Tööta kohalikus projektis","composer.mode.segmentedToggle.worktree.tooltip":"Tööta paralleelses tööpuus","composer.mode.upgradeToPlus":"Täiusta versioonile Plus","composer.mode.upgradeToPro":"Täiusta versioonile Pro","composer.mode.workLocally":"Kohalik projekt","composer.mode.workLocally.currentBranchFallback":"sinu haru","composer.mode.workLocally.tooltip":"Tööta siin: {branchName}","composer.mode.worktree":"Uus tööpuu","composer.mode.worktree.submoduleWarning":"Sellel varamul on giti alammoodulid. Tööpuu loomine võib nurjuda.","composer.mode.worktree.tooltip":"Paralleeltööks tee oma kohalikust projektist koopia","composer.mode.worktreeSegment":"Tööpuu","composer.modelChangeDuringConversationWarning.toast":"Mudelite vahetamine keset vestlust halvendab jõudlust. ","composer.newChat.heading.browser":"Mida me peaksime järgmiseks kodeerima?","composer.permissionsDropdown.custom.label":"Kohandatud (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Kohandatud (config.toml)","composer.permissionsDropdown.default.label":"Vaikeload","composer.permissionsDropdown.default.optionLabel":"Vaikeload","composer.permissionsDropdown.fullAccess.disabled":"Täielik juurdepääs on keelatud: requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Muuda lube","composer.personalitySlashCommand.description.friendly":"Soe, koostööpõhine, abivalmis","composer.personalitySlashCommand.description.pragmatic":"Kokkuvõtlik, ülesandekeskne, otsekohene","composer.personalitySlashCommand.label.friendly":"Sõbralik","composer.personalitySlashCommand.label.pragmatic":"Pragmaatiline","composer.personalitySlashCommand.notApplicableSuffix":"(Ei toimi praeguses mudelis)","composer.personalitySlashCommand.title":"Isikupära","composer.placeholder.cloudFollowUp.directFollowUp":"Järg sellele pilveülesandele","composer.placeholder.cloudFollowUp.local":"Loo uus kohalik ülesanne, mis viitab sellele pilveülesandele","composer.placeholder.cloudFollowUp.workingTree":"Loo uus pilveülesanne, mis sisaldab sinu praegust koodi ja viitab sellele ülesandele","composer.placeholder.localFollowUp.cloud":"Loo järg uue pilveülesandena","composer.placeholder.localFollowUp.locally":"Küsi järjele muudatusi","composer.placeholder.newTask.cloud":"Palu Codexil teha pilves mida iganes","composer.placeholder.newTask.doAnything":"Palu Codexil teha mida iganes","composer.placeholder.newTask.locally":"Palu Codexil teha mida vaja, @ failide lisamiseks, / käsklusteks","composer.planModeDropdown":"Planeerimisrežiim","composer.planModeDropdown.ariaLabel":"Planeerimisrežiim","composer.planModeIndicator":"Plaan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Lülita planeerimisrežiim välja","composer.planSlashCommand.enableDescription":"Lülita planeerimisrežiim sisse","composer.planSlashCommand.title":"Planeerimisrežiim","composer.priorContext.label":"Varasem kontekst","composer.priorContext.removeAriaLabel":"Eemalda varasem kontekst","composer.queuedMessage.delete":"Kustuta järjekorras sõnum","composer.queuedMessage.edit":"Redigeeri sõnumit","composer.queuedMessage.more":"Järjekorras olevate sõnumite toimingud","composer.queuedMessage.sendNow":"Saada kohe","composer.queuedMessage.turnOff":"Lülita järjekorrastamine välja","composer.reasoningEffort.local.reasoning.tooltip":"Vali arutlemise pingutus","composer.remote.branchStartingPoint":"Millisest harust peaks see ülesanne alustama?","composer.remote.branchesSectionHeading":"Harud","composer.remote.currentEditsSuffix.followUp":"Loo uus ülesanne, mis viitab sellele pilve ülesandele.","composer.remote.currentEditsSuffix.useLocal":"kohaliku koodi muudatustega","composer.remote.directFollowUp":"Ära kasuta kohalikke muudatusi","composer.remote.errorLoadingBranches":"Viga harude laadimisel","composer.remote.fromBranch":"Alates {branch}","composer.remote.fromCurrentBranch":"Alates {branch} (praegune)","composer.remote.loadingMoreBranches":"Laadimine ...","composer.remote.localFileStateHeading":"Kohaliku faili olek","composer.remote.localWorkingTree":"Kasuta kohalikke muudatusi","composer.remote.startingPoint":"Millisest koodist peaks see ülesanne alustama?","composer.reviewMode.branches.error":"Harude laadimine ei õnnestunud","composer.reviewMode.branches.retry":"Proovi uuesti","composer.reviewMode.gitRoot.error":"Giti juurt ei leitud","composer.reviewMode.option.baseBranch.simple":"Vaata üle võrreldes alusharuga","composer.reviewMode.option.unstaged.simple":"Vaata üle rakendamata muudatused","composer.reviewMode.quickReviewError":"Koodi ülevaatamise käivitamine nurjus","composer.reviewMode.title":"Koodi eelvaade","composer.sandboxButton.unlock.disabled.tooltip":"Täielik juurdepääs on keelatud: requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex võib kasutada Windowsi eksperimentaalset liivakasti, et piirata failisüsteemile ja võrgule juurdepääsu. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Kas lubada Windowsi liivakast?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Kasuta ainult lugemisrežiimi","composer.searchEnvironments":"Otsi keskkondi","composer.skillMentionList.app":"Rakendus","composer.skillMentionList.loading":"Oskuste laadimine...","composer.skillMentionList.noResults":"Oskusi ei leitud","composer.slashCommands.cloudEnvironment.title":"Pilve keskkond","composer.slashCommands.dialogLabel":"Slash-käskluse menüü","composer.slashCommands.dialogTitle":"Slash-käsklused","composer.slashCommands.disabledTooltip":"Alusta slash-käskluste kasutamiseks uut vestlust","composer.slashCommands.inputPlaceholder":"Otsi","composer.slashCommands.noResults":"Käsklusi pole","composer.slashCommands.skillsGroup":"Oskused","composer.slashCommands.tooltip":"Sirvi slash-käsklusi","composer.status.close":"Sulge","composer.statusPlain.alertLabel":"Hoiatus:","composer.statusPlain.alertValue":"{remaining}% jäänud ({window})","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} kasutatud / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% jäänud","composer.statusPlain.heading":"Olek","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limiit:","composer.statusPlain.rateLimitDays":"{count}p limiit","composer.statusPlain.rateLimitFallbackLabel":"Kasutuslimiit:","composer.statusPlain.rateLimitHours":"{count}t limiit","composer.statusPlain.rateLimitLabelBase":"Kasutuslimiit","composer.statusPlain.rateLimitMinutes":"{count}m limiit","composer.statusPlain.rateLimitPercent":"{remaining}% jäänud","composer.statusPlain.rateLimitReset":"lähtestub {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"lähtestumise aeg pole saadaval","composer.statusPlain.rateLimitUnavailable":"Ei ole saadaval","composer.statusPlain.sessionCopiedAriaLabel":"Kopeeriti seansi ID","composer.statusPlain.sessionCopiedTooltip":"ID kopeeritud","composer.statusPlain.sessionCopyAriaLabel":"Kopeeri seansi ID","composer.statusPlain.sessionCopyTooltip":"Kopeeri ID","composer.statusPlain.sessionLabel":"Seanss:","composer.statusSlashCommand.description":"Kuva lõime ID, kontekstikasutus ja kasutuslimiidid","composer.statusSlashCommand.title":"Olek","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Sõnumit ei saanud saata","composer.submit.emptyMessage":"Alustamiseks sisesta sõnum","composer.submit.imageInputsUnsupported":"Selle sõnumi saatmiseks eemalda pildid või vaheta mudelit.","composer.submit.loadingLocalConfig":"Laadimine ...","composer.submit.missingCloudConfig":"Pead valima pilve keskkonna","composer.submit.missingCloudTurn":"Sellel ülesandel ei saa järeltoiminguid teha","composer.submit.noWorkspace":"Codexi kasutamiseks lisa projekt","composer.submit.waitForImageUploads":"Piltide üleslaadimine...","composer.submitButtonTooltip.send":"Saada","composer.submitButtonTooltip.stop":"Peata","composer.worktreeEnvironment.create":"Loo kohalik keskkond","composer.worktreeEnvironment.default":"Vaikekeskkond","composer.worktreeEnvironment.error":"Viga keskkondade laadimisel","composer.worktreeEnvironment.loading":"Keskkondade laadimine...","composer.worktreeEnvironment.title":"Kohalik keskkond","composer.worktreeEnvironment.tooltip":"Vali kohalik keskkond","composer.worktreeSetupFailed":"Tööpuu seadistamine nurjus. Seadistusskripti kontrollimine: .codex/environments.","compoundButton.secondaryAction":"Teisene tegevus","copyButton.copied":"Kopeeritud","copyButton.copiedAriaLabel":"Kopeeritud","copyButton.copy":"Kopeeri","copyButton.copyAriaLabel":"Kopeeri","copyButton.copyCode":"Kopeeri kood","diff.actionButton.revertFile":"Pööra tagasi fail","diff.actionButton.revertHunk":"Pööra ümber","diff.actionButton.revertSection":"Pööra tagasi kõik","diff.actionButton.revertSectionLabel":"Pööra tagasi kõik","diff.actionButton.stageFile":"Pane fail proovilauale","diff.actionButton.stageHunk":"Kuva proovilaual","diff.actionButton.stageSection":"Pane kõik proovilauale","diff.actionButton.stageSectionLabel":"Pane kõik proovilauale","diff.actionButton.unstageFile":"Eemalda fail proovilaualt","diff.actionButton.unstageHunk":"Eemalda proovilaualt","diff.actionButton.unstageSection":"Eemalda kõik proovilaualt","diff.actionButton.unstageSectionLabel":"Eemalda kõik proovilaualt","diff.fileHeader.toggle":"Faili diffi lüliti","electron.onboarding.login.apikey.cancel":"Tühista","electron.onboarding.login.apikey.continue":"Jätka","electron.onboarding.login.apikey.label":"OpenAI API-võti","electron.onboarding.login.apikey.open":"Sisesta API-võti","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Tühista sisselogimine","electron.onboarding.login.chatgpt.continue":"Jätka ChatGPT-ga","electron.onboarding.login.devbox":"Ühenda kaug-SSH","electron.onboarding.login.error":"Sisselogimine nurjus: {rawMessage}","electron.onboarding.login.snake.start":"Mängi ussimängu","electron.onboarding.login.sshConfig.cancel":"Tühista","electron.onboarding.login.sshConfig.continue":"Jätka","electron.onboarding.login.sshConfig.hostnameLabel":"SSH hosti nimi","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Parim tööks agentide abiga ","electron.onboarding.login.title":"Tere tulemast Codexisse","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Jätka","electron.onboarding.welcome.doubleLimits.description":"Codexi rakenduse väljalaske tähistamiseks kahekordistasime sinu mahulimiite 2. aprillini.","electron.onboarding.welcome.freego.description":"Codex on sinu tellimuses tasuta saadaval 2. märtsini – hakkame koos ehitama.","electron.onboarding.welcome.new.title.anon":"Tere tulemast!","electron.onboarding.workspace.continue":"Jätka","electron.onboarding.workspace.empty":"Jätkamiseks lisa projekt.","electron.onboarding.workspace.listLabel":"Saadaval projektid","electron.onboarding.workspace.loading":"Projektide laadimine...","electron.onboarding.workspace.openFolder":"Lisa projekt","electron.onboarding.workspace.selectAll":"Vali kõik","electron.onboarding.workspace.skip":"Jäta vahele","electron.onboarding.workspace.skip.error":"Uut projekti ei saanud luua: {message}","electron.onboarding.workspace.skip.error.unknown":"Tundmatu viga","electron.onboarding.workspace.skipping":"Uue projekti loomine...","electron.onboarding.workspace.subtitle":"Codex saab valitud kaustades faile muuta ja käsklusi käivitada.","electron.onboarding.workspace.title":"Vali projekt","errorPage.list.checkSettings":"Proovi värskendada oma IDE-seadeid","errorPage.list.configToml":"Kontrolli config.toml failis kehtetuid seadeid","errorPage.list.downloadExtension":"Proovi laadida alla laienduse teine versioon","errorPage.list.runInWsl":"Kontrolli oma seadeid, et inaktiveerida töötamine WSL-is, kui otsid ühilduvusprobleeme","execApprovalRequest.menu.runAlways":"Jah, ja ära enam selle seansi vältel küsi","execApprovalRequest.menu.runAlwaysWithAmendment":"Jah, ja ära enam küsi käskluste puhul, mis algavad sellega: {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Jah, ja ära enam küsi käskluste puhul, mis algavad sellega: ","execApprovalRequest.menu.runOnce":"Jah","execApprovalRequest.prompt":"Kas soovid selle käskluse käivitada?","execApprovalRequest.reject":"Ei","execFooter.exitCode":"Välju koodist {code}","execFooter.exitCode.unknown":"teadmata","execFooter.success":"Õnnestus","feedback.dialog.category.badResult":"Halb tulemus","feedback.dialog.category.bug":"Viga","feedback.dialog.category.goodResult":"Hea tulemus","feedback.dialog.category.other":"Muu","feedback.dialog.descriptionPlaceholder":"Kirjelda probleemi siin","feedback.dialog.dismiss":"Hülga","feedback.dialog.includeLogsLabel":"Lisa praeguse Codexi seansi logid","feedback.dialog.submit":"Esita","feedback.dialog.submitError":"Me ei saanud sinu tagasisidet lisada. Proovi mõne aja pärast uuesti.","feedback.dialog.title":"Tagasiside","feedback.dialog.uploadedMessage.existingIssue":"olemasolev lahendamata probleem","feedback.dialog.uploadedMessage.openIssue":"ava uus GitHubi probleem","feedback.dialog.uploadedMessage.withThread":"Tagasiside on üles laaditud. Probleemi püsimisel {openIssueLink} või maini lõime ID-d teemas {existingIssueLink}:","feedback.dialog.uploadedTitle":"Tagasiside on üles laaditud.","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Eemalda {filename}","header.back":"Tagasi","header.recentChats":"Ülesanded","header.recentTasks.seeAll":"Vaata kõiki ({total})","home.header.getPlus":"Hankige Plus plaan","home.hero.letsBuild":"Hakkame ehitama","homePage.mainContent":"Põhisisu","imageAttachment.defaultName":"pilt","imageAttachment.preview.close":"Sulge pildi eelvaade","imageAttachment.removeAriaLabel":"Eemalda {filename}","implementPlanRequest.option.implement":"Jah, kasuta seda plaani","implementPlanRequest.prompt":"Kas kasutada seda plaani?","inbox.archived.deleteError":"Arhiivitud käivitust ei saanud kustutada","inbox.archived.deleteRun":"Kustuta arhiivitud käivitus","inbox.archived.deleteSuccess":"Arhiivitud lõim kustutatud. Vaata <settingsLink>arhiivitud lõimedes</settingsLink>.","inbox.archived.inlineLabel.auto":"Lõim arhiiviti automaatselt. <learnMoreLink>Lisateave</learnMoreLink>","inbox.archived.inlineLabel.manual":"Lõim arhiiviti.","inbox.archived.noMessageFound":"Sõnumeid ei leitud","inbox.automations.createError":"Automatiseerimisülesannet ei saanud luua","inbox.automations.deleteConfirm.cancel":"Tühista","inbox.automations.deleteConfirm.confirm":"Kustuta automatiseerimisülesanne","inbox.automations.deleteConfirm.description":"Sellega kustutatakse automatiseerimisülesanne jäädavalt ja lõpetatakse edasised käivitused.","inbox.automations.deleteConfirm.title":"Kas kustutada {name}?","inbox.automations.deleteError":"Automatiseerimisülesannet ei saanud kustutada","inbox.automations.editTooltip":"Muuda automatiseerimisülesannet","inbox.automations.inProgress":"Pooleli","inbox.automations.new":"Uus","inbox.automations.newToolbar":"Uus automatiseerimisülesanne","inbox.automations.pauseTooltip":"Peata automatiseerimisülesanne","inbox.automations.resumeTooltip":"Jätka automatiseerimisülesannet","inbox.automations.startingNow":"Algab kohe","inbox.automations.startsIn":"Alustamiseni {startTime}","inbox.automations.status.active":"Aktiivne","inbox.automations.status.paused":"Peatatud","inbox.automations.status.runs":"{count} käivitust","inbox.automations.status.started":"Alustatud {date}","inbox.automations.updateError":"Automatiseerimisülesannet ei saanud värskendada","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Kõik","inbox.filter.ariaLabel":"Filtreeri saabunud sõnumeid","inbox.filter.unread":"Lugemata","inbox.list.archived":"Arhiivitud","inbox.list.inProgress":"Pooleli","inbox.list.recent":"Lõpetatud","inbox.list.upNext":"Kavandatud","inbox.mode.automations":"Automatiseeringud","inbox.mode.automations.beta":"Beeta","inbox.noDescription":"Kirjeldus puudub","inbox.openThread":"Ava lõim","inbox.rightPanel.emptySubtitle":"Loo plaanilised ülesanded töö automatiseerimiseks","inbox.rightPanel.emptySubtitle.learnMore":"Loo plaanilised lõimed töö automatiseerimiseks. <link>Lisateave</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktiivne automatiseerimisülesanne} other {# aktiivset automatiseerimisülesannet}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Lugemata automatiseerimisülesandeid pole","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# lugemata automatiseerimisülesanne} other {# lugemata automatiseerimisülesannet}} ","inbox.rightPanel.emptyTitle":"Midagi pole valitud","inbox.rightPanel.noThread":"Selle üksusega ei seostu ühtki lõime","inbox.rightPanel.quickStart.header":"Alusta malliga","inbox.untitled":"Nimetu ükssus saabunud sõnumites","loadingPage.documentationLink":"dokumentatsioon","loadingPage.errorDescription":"Codex sulgus ootamatult järgmise veaga:","loadingPage.errorDescription.documentation":"Klõpsa taaslaadimise nupul, et käivitada Codexi laiendus, või vaata täiendava abi saamiseks siia: {documentationLink}.","loadingPage.errorSignal":"Mõned asjad, mida proovida:","loadingPage.errorTitle":"Ilmnes tõrge","loadingPage.openConfigToml":"Ava config.toml fail","loadingPage.reload":"Laadi uuesti","localConversation.contextCompacted":"Kontekst tihendatud automaatselt","localConversation.contextCompacting":"Konteksti automaatne tihendamine","localConversation.forkedFromConversation":"Hargitud siit: {threadTitle}","localConversation.merge.autoResolve.failed":"Autoresolvi taotlemine nurjus: {error}","localConversation.merge.autoResolve.sent":"Autoresolvi taotlus saadetud","localConversation.merge.autoResolveMerge.missingConversation":"Autoresolvi ei saa teha ilma aktiivse vestluseta.","localConversation.merge.autoResolveMerge.request":"Mestekonfliktide autoresolver","localConversation.modelChanged":"Mudel {fromModel} vahetati mudeli {toModel} vastu.","localConversation.modelChanged.warning.line1":"Mudelite vahetamine keset vestlust halvendab jõudlust. ","localConversation.modelChanged.warning.line2":"Konteksti võidakse automaatselt tihendada","localConversation.moveThread.createBranch.label":"Loo haru","localConversation.moveToLocal.disabled.loading":"Laadimine ...","localConversation.moveToLocal.modal.continue":"Jätka","localConversation.moveToLocal.modal.destinationLabel":"Liiguta siia:","localConversation.moveToLocal.modal.retry":"Proovi uuesti","localConversation.moveToWorktree.modal.back":"Tagasi","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Haru on juba olemas","localConversation.moveToWorktree.modal.branchesError":"Harude laadimine ei õnnestunud","localConversation.moveToWorktree.modal.branchesLoading":"Harude laadimine...","localConversation.moveToWorktree.modal.branchesRetry":"Proovi uuesti","localConversation.moveToWorktree.modal.continue":"Jätka","localConversation.moveToWorktree.modal.retry":"Proovi uuesti","localConversation.moveToWorktree.modal.trailingSlashError":"Haru nimi ei saa lõppeda sümboliga /","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"uus-haru","localConversation.personalityChanged":"Lülitatud isikupärale {personality}","localConversation.planSummary.collapse":"Kitsenda plaani kokkuvõte","localConversation.planSummary.collapseTooltip":"Kitsenda","localConversation.planSummary.download":"Laadi plaan alla","localConversation.planSummary.expand":"Laienda plaani kokkuvõte","localConversation.planSummary.expandTooltip":"Laienda","localConversation.planSummary.openInNewWindow":"Ava","localConversation.planSummary.openInNewWindow.tooltip":"Ava uues aknas","localConversation.planSummary.title":"Plaan","localConversation.planSummary.titleWriting":"Plaani kirjutatakse","localConversation.planSummary.viewPlan":"Laienda plaani","localConversation.remoteTaskCreated":"Loodud {taskLink} Codexi pilves","localConversation.remoteTaskCreated.task":"ülesanne","localConversation.scrollToBottomButton":"Keri alla","localConversation.sync.buttonLabel":"Anna üle kohalikku keskkonda","localConversation.sync.buttonLabel.tooltip":"Edasta muudatused selle tööpuu ja sinu kohaliku töökoopia vahel.","localConversation.sync.modal.loading.title":"Muudatuste üleandmine...","localConversation.sync.modal.noChanges":"Muudatusi pole","localConversation.syncSetup.branchAriaLabel":"Haru nimi","localConversation.syncSetup.branchName":"Haru nimi","localConversation.syncSetup.branchPlaceholder.existing":"Vali olemasolev haru","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Harude laadimine...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Juba vormistatud","localConversation.syncSetup.checkoutClean":"Praegu siin: {branchName}","localConversation.syncSetup.checkoutDirty":"Praegu siin: {branchName}. Kehtestamata muudatustega","localConversation.syncSetup.checkoutError":"Haru vormistamine nurjus: {message}","localConversation.syncSetup.checkoutLabel":"Vormista kohalikus keskkonnas kohe","localConversation.syncSetup.checkoutOnLocal":"Anna üle kohalikku keskkonda","localConversation.syncSetup.checkoutPending":"Kohaliku oleku kontrollimine...","localConversation.syncSetup.checkoutUnavailable":"Kohalik tööjaam pole saadaval","localConversation.syncSetup.checkoutUnknown":"Kohalik haru pole saadaval","localConversation.syncSetup.continue":"Jätka","localConversation.syncSetup.createBranchError":"Üleandmise haru seadistus nurjus: {message}","localConversation.syncSetup.error":"Midagi läks valesti: {message}","localConversation.syncSetup.error.workingTreeMissing":"Tööpuu hetktõmmis nurjus. Proovi uuesti üle anda.","localConversation.syncSetup.mode.ariaLabel":"Vali haru režiim","localConversation.syncSetup.mode.existing":"Olemasolev haru","localConversation.syncSetup.mode.new":"Uus haru","localConversation.syncSetup.noBranches":"harusid ei leitud","localConversation.syncSetup.overwriteError":"Haru on loodud, aga täielikult üle andmata. Anna käsitsi üle enne kohalikus keskkonnas vormistamist.","localConversation.syncSetup.setPrefix":"Seadista prefiks","localConversation.syncSetup.subtitle":"Tööpuu muudatuste testimine ja redigeerimine kohalikus keskkonnas. <a>Lisateave</a>","localConversation.syncSetup.success.checkedOut":"Haru on loodud ja vormistatakse kohalikus keskkonnas","localConversation.syncSetup.success.notCheckedOut":"Haru on loodud","localConversation.syncSetup.title":"Anna üle kohalikku harusse","localConversation.syncWorktreeError.branchAriaLabel":"Haru nimi","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Vali haru, kuhu üle anda, seejärel proovi uuesti muudatusi laadida.","localConversation.syncWorktreeError.branchSetup.title":"Värskenda haru","localConversation.syncWorktreeError.branchUpdate.cta":"Värskenda ja proovi uuesti","localConversation.syncWorktreeError.branchUpdate.error":"Haru värskendamine nurjus: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Midagi läks valesti: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Haru ei ole üheski tööpuus vormistatud","localConversation.syncWorktreeV2.applyUncommitted":"Kohalda","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Kehtestamata muudatuste rakendamiseks tuleb haru vormistada kohalikus keskkonnas","localConversation.syncWorktreeV2.branches.empty":"harusid ei leitud","localConversation.syncWorktreeV2.branches.loading":"Harude laadimine...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Muuda üleandmise haru","localConversation.syncWorktreeV2.changeBranch.error":"Üleandmise haru muutmine nurjus: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Rakendamine nurjus","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Tööpuu ülekirjutus nurjus","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Kohalik ülekirjutus nurjus","localConversation.syncWorktreeV2.commandError.back":"Tagasi","localConversation.syncWorktreeV2.commandError.body":"Giti käsklus nurjus üleandmisel. Vaata väljund üle ja proovi uuesti.","localConversation.syncWorktreeV2.commandError.retry":"Proovi uuesti","localConversation.syncWorktreeV2.description":"Muudatuste üleandmine kohaliku ja selle tööpuu vahel <a>Lisateave</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Vali üleandmise suund","localConversation.syncWorktreeV2.error.generic":"Midagi läks üleandmisel valesti. Proovi uuesti.","localConversation.syncWorktreeV2.localBranchLabel":"Kohalik","localConversation.syncWorktreeV2.noChanges":"Muudatuste kaalumine","localConversation.syncWorktreeV2.noChanges.summary":"Muudatusi pole","localConversation.syncWorktreeV2.overwrite.local":"Kohalik ülekirjutus","localConversation.syncWorktreeV2.overwrite.worktree":"Tööpuu ülekirjutus","localConversation.syncWorktreeV2.partial.action.applyFailed":"Muudatusi ei saanud rakendada","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Kohalikke muudatusi ei saanud üle kirjutada","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Tööpuu muudatusi ei saanud üle kirjutada","localConversation.syncWorktreeV2.partial.appliedLabel":"Rakendatud","localConversation.syncWorktreeV2.partial.back":"Tagasi","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Mesti konfliktid ja proovi uuesti.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konfliktid","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fail} other {# faili}}","localConversation.syncWorktreeV2.partial.retry":"Proovi uuesti","localConversation.syncWorktreeV2.partial.skippedLabel":"Jäeti vahele","localConversation.syncWorktreeV2.stateFailed.generic":"Midagi läks tööpuu muudatuste üleandmiseks laadimisel valesti. Proovi uuesti.","localConversation.syncWorktreeV2.stateFailed.title":"Tööpuu muudatuste laadimine nurjus","localConversation.syncWorktreeV2.statusError.diffUnknown":"Tööpuu muudatuste laadimine nurjus.","localConversation.syncWorktreeV2.statusError.retry":"Proovi uuesti","localConversation.syncWorktreeV2.statusError.title":"Kohaliku haru muudatusi ei saanud laadida","localConversation.syncWorktreeV2.statusError.unknown":"Haru olek ei ole hetkel saadaval. Proovi uuesti.","localConversation.syncWorktreeV2.success.apply":"Muudatused edukalt rakendatud","localConversation.syncWorktreeV2.success.overwrite":"Edukalt üle antud","localConversation.syncWorktreeV2.title":"Muudatuste üleandmine","localConversation.syncWorktreeV2.worktreeLabel":"Tööpuu","localConversation.userInputRequest.inProgress":"Küsitakse {count, plural, one {küsimust} other {küsimust}}","localConversation.userInputRequest.noAnswer":"Vastust pole","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Küsitud","localConversation.userInputRequest.summary.count":"{count, plural, one {# küsimus} other {# küsimust}}","localConversation.workedFor":"Töötas {time}","localConversation.worktreeBranchSetup.action.create":"Loo","localConversation.worktreeBranchSetup.branchAriaLabel":"Haru nimi","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Loo uus haru","localConversation.worktreeBranchSetup.checkoutDisabled":"See haru on juba vormistatud ({location})","localConversation.worktreeBranchSetup.checkoutError":"Haru vormistamine nurjus: {message}","localConversation.worktreeBranchSetup.createBranchError":"Haru seadistamine nurjus: {message}","localConversation.worktreeBranchSetup.error":"Midagi läks valesti: {message}","localConversation.worktreeBranchSetup.subtitle":"Muudatuste kehtestamiseks, pushiks ja sellest tööpuust PR-ide loomiseks loo haru. <a>Lisateave</a>","localConversation.worktreeBranchSetup.title":"Tööta siin","localConversationPage.addWorktreeToSidebar.tooltip":"Uute lõimede algatamiseks sellest tööpuust salvesta see projektina","localConversationPage.addWorktreeToSidebarError":"Projekti lisamine nurjus","localConversationPage.commitAndCreatePrModal.errorTitle":"Kehtesta ja loo PR nurjus","localConversationPage.commitAndCreatePrModal.successTitle":"PR kehtestatud ja loodud","localConversationPage.commitAndPushModal.errorTitle":"Kehtesta ja pushi nurjus","localConversationPage.commitAndPushModal.successTitle":"Muudatused kehtestatud ja pushitud","localConversationPage.commitCreatePr.open":"Ava pull request","localConversationPage.commitCreatePr.successTitle":"Loodud PR sinu viimaste muudatustega","localConversationPage.createBranchButtonLabel":"Haru siia","localConversationPage.createPrModal.baseBranch":"Alusharu","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Loo PR","localConversationPage.createPrModal.createDescription":"Ava pull request viimastele muudatustele.","localConversationPage.createPrModal.errorTitle":"Pull request nurjus.","localConversationPage.createPrModal.headBranch":"Sihtharu","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Ava PR","localConversationPage.createPrModal.successTitle":"Pull request loodud","localConversationPage.createPrModal.title":"Loo pull request","localConversationPage.createPrModal.viewDescription":"Selle haru jaoks on pull request juba olemas.","localConversationPage.createPrModal.viewTitle":"Pull request valmis","localConversationPage.createPullRequestAuthGh":"Autendi GitHub CLI: käivita `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Haru andmed ei ole saadaval","localConversationPage.createPullRequestButtonLabel":"Loo PR","localConversationPage.createPullRequestButtonLabel.loading":"PR-i loomine","localConversationPage.createPullRequestDefaultBranchMissing":"Haru vaikeandmed ei ole saadaval","localConversationPage.createPullRequestError":"Pull requesti loomine nurjus","localConversationPage.createPullRequestExistingPullRequest":"Selle haru jaoks on pull request juba olemas","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI oleku laadimine…","localConversationPage.createPullRequestInstallGh":"PR-ide loomiseks installi GitHub CLI (gh)","localConversationPage.createPullRequestNoRepo":"Giti varamut ei leitud","localConversationPage.createPullRequestPushStatusMissing":"Pushi oleku laadimine...","localConversationPage.createPullRequestSetUpstream":"Pushi see haru üles enne PR-i loomist","localConversationPage.createPullRequestSuccessToast":"Pull request loodud","localConversationPage.createPullRequestSwitchBranch":"Enne PR-i loomist välju harust","localConversationPage.error.render":"Viga kohaliku vestluse renderdamisel","localConversationPage.error.toast":"Vestlust ei leitud","localConversationPage.forcePushError":"Sundpushimine nurjus","localConversationPage.generatePullRequestMessageError":"PR-i pealkirja ja sisu loomine nurjus","localConversationPage.generatePullRequestMessageFailed":"PR-i pealkirja ja sisu loomine nurjus.","localConversationPage.gitActionResult.branch":"Haru","localConversationPage.gitActionResult.cancel":"Tühista","localConversationPage.gitActionResult.close":"Sulge","localConversationPage.gitActionResult.tryAgain":"Proovi uuesti","localConversationPage.gitActions":"Giti toimingud","localConversationPage.newChat":"Uus vestlus","localConversationPage.openInTarget":"Ava","localConversationPage.openPrimaryTarget":"Ava","localConversationPage.planItemsCompleted":"{completedItems} {totalItems, plural, one {# ülesanne valmis} other {# ülesannet valmis}}-st","localConversationPage.pushAuthError":"Push nurjus: autentimine on kohustuslik","localConversationPage.pushBranchMissing":"Haru andmed ei ole saadaval","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Pushimine...","localConversationPage.pushError":"Muudatuste push nurjus","localConversationPage.pushModal.branchLabel":"Haru","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Tühista","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Pushi viimased kehtestatavad muudatused kaugvaramusse.","localConversationPage.pushModal.errorTitle":"Push nurjus","localConversationPage.pushModal.forcePush":"Sundpush","localConversationPage.pushModal.successTitle":"Push on lõpetatud","localConversationPage.pushModal.title":"Pushi muudatused","localConversationPage.pushModal.tryAgain":"Proovi uuesti","localConversationPage.pushNoUpstream":"Enne haru pushi seadista upstream","localConversationPage.pushNoUpstreamError":"Push nurjus: upstream on seadistamata","localConversationPage.pushNothingToPush":"Uusi pushitavaid muudatusi pole","localConversationPage.pushRemoteChangedError":"Push nurjus: kaugvaramus on värskendused","localConversationPage.pushRemoteRejectedError":"Push kaugvaramu poolt tagasi lükatud","localConversationPage.pushStatusMissing":"Pushi oleku laadimine...","localConversationPage.pushSuccessToast":"Pushitud muudatused","localConversationPage.viewPullRequestButtonLabel":"Kuva PR","localConversationPage.viewPullRequestButtonLabel.loading":"Pull requesti laadimine…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fail} other {# faili}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# nimekiri} other {# nimekirja}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# otsing} other {# otsingut}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Avastamine","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Avastatud","localConversationTurn.exploration.accordion.header.complete.withCounts":"Läbi vaadatud {counts}","localConversationTurnStory.showContent":"Kuva sisu","localConversationTurnStory.streamContent":"Voogedasta sisu","localConversationTurnStory.toggleReasoning":"Kuva arutlus","localTaskRow.archiveError":"Vestluse arhiivimine nurjus","localTaskRow.resumeError":"Ülesande jätkamine nurjus","mermaidDiagram.ariaLabel":"Merineitsi diagramm","mermaidDiagram.copySource":"Kopeeri mermaid","mermaidDiagram.originalCode":"Merineitsi lähtekood","notifications.permissions.description":"Kuva hoiatus, kui nõutav on teatiste lubamine","notifications.permissions.label":"Luba loateatised","notifications.turnMode.always":"Alati","notifications.turnMode.description":"Määra, millal Codex teatab lõpetamisest","notifications.turnMode.label":"Vahetuse lõpetamise teatised","notifications.turnMode.off":"Mitte kunagi","notifications.turnMode.unfocused":"Ainult fookuse puudumisel","patchApprovalRequest.approve":"Kiida heaks","patchApprovalRequest.menu.allowAlways":"Jah, ja ära enam selle seansi vältel küsi","patchApprovalRequest.menu.allowForSession":"Jah, ja ära enam selle seansi vältel küsi","patchApprovalRequest.menu.allowOnce":"Jah","patchApprovalRequest.prompt":"Kas tahad teha need muudatused?","patchApprovalRequest.reject":"Ei","patchApprovalRequest.waitingForApproval":"Ootame failide redigeerimiseks heakskiitu","pendingRequest.approvalExec.collapse":"Kitsenda","pendingRequest.approvalExec.expand":"Laienda","pendingRequestStory.toastAnswer":"Vastus: {answer}","pendingRequestStory.toastApprovalTitle":"Heakskiitev vastus","pendingRequestStory.toastFollowupPrompt":"Viip: {prompt}","pendingRequestStory.toastFollowupTitle":"Järeltoiming saadetud","pendingRequestStory.toastNoAnswers":"Vastuseid pole","pendingRequestStory.toastQuestion":"Küsimus: {question} ","pendingRequestStory.toastUnknownDecision":"Teadmata","pendingRequestStory.toastUserInputTitle":"Esitatud vastused","quickAction.request.codeReview.branches.new":"Palun vaata {from} muudatused üle, võrreldes {to}","quickAction.request.codeReview.uncommitted.new":"Palun vaata üle minu rakendamata muudatused","reasoningItem.thinking":"Mõtlemine","reasoningItem.thought":"Mõtles","reasoningItem.thoughtWithElapsed":"Mõtles {elapsed}","recentConversations.title":"Hiljutised vestlused","recentTasks.worktreeInitFailedTitle":"Tööpuu käivitamine nurjus","recentTasks.worktreeSettingUpTitle":"Tööpuu seadistamine","requestInputPanel.continue":"Jätka","requestInputPanel.dismiss":"Hülga","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Sisesta siia","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ei, ja ütle Codexile, mida teha teisiti","requestInputPanel.selectedBadge":"Valitud","requestInputPanel.skip":"Jäta vahele","requestInputPanel.submit":"Esita","review.commit.ariaLabel.includeUnstaged":"Kaasa arvatud proovilaual kuvamata muudatused","review.commit.buttonLabel":"Rakenda","review.commit.disabled.committing":"Kehtestamine...","review.commit.disabled.loadingDiff":"Difi laadimine…","review.commit.disabled.missingContext":"Kehtestamissõnumi genereerimiseks lisa pisut konteksti","review.commit.disabled.noChanges":"Kehtestatavad muudatused puuduvad","review.commit.disabled.noSelection":"Vali kehtestatavad muudatused","review.commit.disabled.unavailable":"Kehtestamine ei ole hetkel saadaval","review.commit.error":"Muudatuste rakendamine nurjus","review.commit.form.changesToBeCommitted":"Muudatused","review.commit.form.commitTo":"Haru","review.commit.form.commitTo.none":"–","review.commit.form.continue":"Jätka","review.commit.form.title":"Kehtesta oma muudatused","review.commit.generate.emptyResponse":"Kehtestamissõnumit ei saanud luua.","review.commit.generate.failed":"Kehtestamissõnumi genereerimine nurjus: {error}","review.commit.generate.missingPrompt":"Kehtestamissõnumi genereerimiseks lisa pisut konteksti.","review.commit.includeUnstaged":"Kaasa arvatud proovilaual kuvamata muudatused","review.commit.loading.description":"Oota pisut, see võib veidi aega võtta...","review.commit.loading.step.commit.done":"Kehtestatud muudatused","review.commit.loading.step.commit.pending":"Muudatuste kehtestamine","review.commit.loading.step.createPr.done":"Pull request loodud","review.commit.loading.step.createPr.pending":"Pull requesti loomine","review.commit.loading.step.push.done":"Pushitud harus {branch}","review.commit.loading.step.push.pending":"Pushitakse harus {branch}","review.commit.loading.title.commit":"Muudatuste kehtestamine","review.commit.loading.title.createPr":"PR loomine","review.commit.loading.title.push":"Muudatuste pushimine","review.commit.messageLabel":"Commiti sõnum","review.commit.messagePlaceholder":"Kehtestamissõnumi automaatseks genereerimiseks jäta tühjaks","review.commit.nextSteps":"Järgmised sammud","review.commit.nextSteps.commit":"Kehtesta","review.commit.nextSteps.commitAndCreate":"Kehtesta ja loo PR","review.commit.nextSteps.commitAndPush":"Kehtesta ja pushi","review.commit.nextSteps.prRequiresGh":"Vajalik on GitHub CLI: {command}","review.commit.rows.changes":"Muudatused","review.commit.rows.commitCount":"{count, plural, one {# kehtestus} other {# kehtestust}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# kehtestus} other {# kehtestust}} ja {stats}","review.commit.rows.fileCount":"{count, plural, one {# fail} other {# faili}}","review.commit.state.error.body":"Kehtestamisel läks midagi valesti. Kontrolli oma giti olekut ja proovi uuesti.","review.commit.state.error.title":"Kehtestamine nurjus","review.commit.state.success.title":"Muudatused kehtestatud","review.commit.untracked.loadingStats":"Diffi andmete laadimine...","reviewFindingAttachments.count":"{count, plural, one {# vaste} other {# vastet}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Agendi tegevuse kohandamiseks redigeeri konfiguratsiooni","settings.agent.configuration.configToml.docs":"Dokumendid","settings.agent.configuration.subtitle":"Need seaded kehtivad kõikjal, kus kasutatakse Codexit","settings.automations.banner.danger":"Automatiseeringud töötavad sinu liivakasti vaikeseadetega, milleks on praegu seatud täielik juurdepääs. Taustal automatiseerimisülesannete käitamine täieliku juurdepääsuga on seotud suurema riskiga, kuna Codex võib faile muuta, käsklusi käivitada ja võrgule juurde pääseda ilma küsimata. Kaalu liivakasti seadete värskendamist tööjaamas kirjutamiseks ja <rulesDocsLink>reeglite</rulesDocsLink> kasutamist, et valikuliselt määratleda, milliseid käsklusi agent saab täieliku juurdepääsuga käivitada.","settings.automations.banner.defaultHowTo.default":"Automatiseeringud töötavad sinu liivakasti vaikeseadetega. Tööriistakäivitused ebaõnnestuvad, kui need nõuavad failide muutmist väljaspool tööjaama, võrgule juurdepääsu või arvuti rakendustega töötamist. <rulesDocsLink>Reeglite</rulesDocsLink> abil saad valikuliselt lubada käsklusi, mis töötavad väljaspool liivakasti.","settings.automations.banner.defaultHowTo.readOnly":"Automatiseeringud töötavad sinu liivakasti vaikeseadetega, milleks on seatud ainult lugemisrežiim. Tööriistakäivitused ebaõnnestuvad, kui need nõuavad failide muutmist väljaspool tööjaama, võrgule juurdepääsu või arvuti rakendustega töötamist. Kaalu liivakasti seadete värskendamist tööjaamas kirjutamiseks.","settings.automations.cancel":"Tühista","settings.automations.create":"Loo","settings.automations.cwdEmpty":"Projekti kaustu pole","settings.automations.cwdLabel":"Projektid","settings.automations.cwdPlaceholder":"Vali kaust","settings.automations.cwdSubtitle":"Kui soovid, et automatiseerimisülesanne käivitatakse konkreetses harus, võid selle viipa kirjutada.","settings.automations.delete":"Kustuta","settings.automations.dialog.editTitle":"Muuda automatiseerimisülesannet","settings.automations.dialog.newTitle":"Uus automatiseerimisülesanne","settings.automations.dialog.subtitle":"Automatiseeri korduvaid ülesandeid taustal. Codex lisab leiud sisendpostkasti või arhiveerib ülesande automaatselt, kui pole midagi teatada. <learnMoreLink>Lisateave</learnMoreLink>","settings.automations.dialog.title":"Loo automatiseerimisülesanne","settings.automations.executionCopy.git":"Automatiseerimisülesanded käitatakse taustal vastavates tööpuudes.","settings.automations.executionCopy.nonGit":"Versioonikontrollita projektide automatiseerimisülesanded käitatakse otse projektikataloogis. Kaalu Giti kasutamist, et lubada nende töötamine taustal tööpuudes.","settings.automations.executionEnvironment.local":"Kohalik","settings.automations.executionEnvironment.worktree":"Tööpuu","settings.automations.loading":"Laadimine ...","settings.automations.nameLabel":"Nimi","settings.automations.namePlaceholder":"Kontrolli Sentry probleeme","settings.automations.pause":"Peata","settings.automations.promptLabel":"Viip","settings.automations.promptPlaceholder":"otsi krahhe siin: $Sentry","settings.automations.resume":"Jätka","settings.automations.rruleSummaryFallback":"Kohandatud graafik","settings.automations.runNow":"Testi","settings.automations.save":"Salvesta","settings.automations.scheduleBadge.dayCount":"{count} p","settings.automations.scheduleBadge.interval":"{count} t","settings.automations.scheduleBadge.weekdays":"tööpäeviti","settings.automations.scheduleBadge.weekends":"puhkepäeviti","settings.automations.scheduleHeader":"Graafik","settings.automations.scheduleHours":"tundi","settings.automations.scheduleLabel":"Käivita iga","settings.automations.scheduleMode.daily":"Iga päev","settings.automations.scheduleMode.interval":"Vahemik","settings.automations.scheduleModeLabel":"Graafiku tüüp","settings.automations.scheduleSummary.daily":"Iga päev kell {time}","settings.automations.scheduleSummary.interval":"Iga {count}t tagant","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# päeva} other {# päeva}}","settings.automations.scheduleSummary.intervalDays":"{days} kell {interval}","settings.automations.scheduleSummary.intervalHourly":"Iga tunni tagant","settings.automations.scheduleSummary.singleDay":"{day} kell {time}","settings.automations.scheduleSummary.weekdays":"Tööpäevadel kell {time}","settings.automations.scheduleSummary.weekdaysLabel":"tööpäeviti","settings.automations.scheduleSummary.weekends":"Puhkepäevadel kell {time}","settings.automations.scheduleSummary.weekendsLabel":"puhkepäeviti","settings.automations.scheduleSummary.weekly":"{days} kell {time}","settings.automations.scheduleWeekdays":"Sees","settings.automations.weekdayState.excluded":"Välja arvatud","settings.automations.weekdayState.included":"Kaasa arvatud","settings.conversationDetail.steps":"Sammud","settings.conversationDetail.steps.description":"Peida käsklused ja väljundid","settings.conversationDetail.stepsWithCommands":"Sammud koodkäsklustega","settings.conversationDetail.stepsWithCommands.description":"Kuva käsklused, kahanda väljund","settings.conversationDetail.stepsWithOutput":"Sammud koodväljundiga","settings.conversationDetail.stepsWithOutput.description":"Kuva käsklused ja laienda väljund","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Arhiivitud vestlusi pole","settings.dataControls.archivedChats.error":"Arhiivitud vestlusi ei saanud laadida.","settings.dataControls.archivedChats.loading":"Arhiivitud vestluste laadimine...","settings.dataControls.archivedChats.unarchive":"Eemalda arhiivist","settings.dataControls.archivedChats.unarchiveError":"Vestluse arhiivist eemaldamine nurjus","settings.dataControls.archivedChats.unarchiveSuccess":"Arhiivimata lõim. <viewNowLink>Vaata kohe</viewNowLink>","settings.dataControls.archivedChats.untitled":"Nimetu vestlus","settings.editRow.headerPlaceholder":"Võti","settings.editRow.removeEntry":"Eemalda sisestatu","settings.editRow.valuePlaceholder":"Väärtus","settings.general.appearance":"Välimus","settings.general.appearance.codeFont":"Koodi kirjatüüp","settings.general.appearance.codeFont.description":"Kohanda vestlustes ja diffides kasutatavat koodi kirjatüüpi ja suurust","settings.general.appearance.codeFontFamily":"Koodi kirjatüübi perekond","settings.general.appearance.codeFontSize":"Koodi kirja suurus","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Pane aknad kasutama süsteemse läbipaistvuse asemel ühtlast tausta","settings.general.appearance.opaqueWindows.label":"Kasuta läbipaistmatut akna tausta","settings.general.appearance.sansFontFamily":"Sans kirjatüüpide perekond","settings.general.appearance.sansFontFamily.description":"Kohalda Codexi kasutajaliidese kirjatüüpi","settings.general.appearance.sansFontSize":"Sans kirjatüübi suurus","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Näita kogu akna ulatuses tähistamisefekte, kui GPT-5.3-Codex-Spark töötab esimest vooru.","settings.general.appearance.sparkCelebrationEffects.label":"Säravad peoefektid","settings.general.appearance.theme":"Teema","settings.general.appearance.theme.dark":"Tume","settings.general.appearance.theme.description":"Vali hele, tume või süsteemiga kohandatud","settings.general.appearance.theme.light":"Hele","settings.general.appearance.theme.system":"Süsteem","settings.general.appearance.usePointerCursors.description":"Kursori muutmine interaktiivsete elementide kohal hõljumisel osutiks","settings.general.appearance.usePointerCursors.label":"Kasuta osuti-kursoreid","settings.general.enterBehavior.description":"Kui see seade on sees, on mitmerealiste viipade saatmiseks vajalik {modifierSymbol} + sisestusklahv.","settings.general.enterBehavior.label":"Kehtesta pikkade viipade saatmiseks {modifierSymbol} + sisestusklahv","settings.general.experimentalFeatures":"Katselised funktsioonid (beeta)","settings.general.experimentalFeatures.empty":"Katselisi funktsioone (beeta) pole saadaval.","settings.general.experimentalFeatures.loading":"Katseliste funktsioonide laadimine...","settings.general.experimentalFeatures.restartNote":"Katseliste funktsioonide muudatuste rakendamiseks taaskäivita Codex","settings.general.experimentalFeatures.toggle":"Vali {featureName}","settings.general.followUpQueueMode.description":"Pane järeltegevused Codexi töö ajal järjekorda või katkesta pooleliolev käivitus","settings.general.followUpQueueMode.interrupt":"Suunamine","settings.general.followUpQueueMode.label":"Järeltegevuste haldamine","settings.general.followUpQueueMode.queue":"Järjekorda","settings.general.notifications":"Teatised","settings.general.power.preventSleepWhileRunning.description":"Jäta arvuti ärkveloleku režiimile, kuni Codex käitab lõime.","settings.general.power.preventSleepWhileRunning.label":"Takista käitamise ajal unerežiimile lülitumist","settings.git.branchPrefix.ariaLabel":"Haru prefiks","settings.git.branchPrefix.description":"Codexis uute harude loomiseks kasutatav prefiks","settings.git.branchPrefix.label":"Haru prefiks","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Haru prefiksi salvestamine nurjus","settings.git.branchPrefix.save.success":"Haru prefiks salvestatud","settings.git.commitInstructions.ariaLabel":"Kehtestamise juhised","settings.git.commitInstructions.description":"Lisatud kehtestamissõnumi genereerimise viipadesse","settings.git.commitInstructions.label":"Kehtestamise juhised","settings.git.commitInstructions.placeholder":"Lisa kehtestamissõnumi juhend...","settings.git.commitInstructions.save":"Salvesta","settings.git.commitInstructions.save.error":"Kehtestamise juhiste salvestamine nurjus","settings.git.commitInstructions.save.success":"Kehtestamise juhised salvestatud ","settings.git.forcePush.ariaLabel":"Pushi alati sundkorras","settings.git.forcePush.description":"Codexist pushimisel kasuta sundimist rendiga","settings.git.forcePush.label":"Pushi alati sundkorras","settings.git.forcePush.save.disabled":"Sundkorras push alati keelatud","settings.git.forcePush.save.enabled":"Sundkorras push alati lubatud","settings.git.forcePush.save.error":"Sundkorras pushi seadistuse salvestamine nurjus","settings.git.prInstructions.ariaLabel":"Pull requesti juhised","settings.git.prInstructions.description":"Lisatud Codexi loodud pull requestide sisule","settings.git.prInstructions.label":"Pull requesti juhised","settings.git.prInstructions.placeholder":"Lisa pull requesti juhend...","settings.git.prInstructions.save":"Salvesta","settings.git.prInstructions.save.error":"Pull requesti juhiste salvestamine nurjus","settings.git.prInstructions.save.success":"Pull requesti juhised salvestatud","settings.ide.defaultOpenTarget.description":"Kus failid ja kaustad vaikimisi avanevad","settings.ide.defaultOpenTarget.label":"Vaikimisi avanemise koht","settings.ide.defaultOpenTarget.placeholder":"Kohta ei leitud","settings.ide.language.auto":"Tuvasta automaatselt","settings.ide.language.autoOption":"Tuvasta automaatselt","settings.ide.language.description":"Rakenduse kasutajaliidese keel","settings.ide.language.label":"Keel","settings.ide.language.search":"Otsi keeli","settings.layout.actionButton":"Taaskäivita laiendus","settings.layout.actionTitle":"Seaded toiminguga","settings.layout.fullWidthTitle":"Seaded (täislaius)","settings.layout.title":"Seaded","settings.localEnvironments.actions.add":"Lisa toiming","settings.localEnvironments.actions.add.description":"Loo uus käsklus tööriistaribalt käivitamiseks.","settings.localEnvironments.actions.add.save":"Salvesta","settings.localEnvironments.actions.empty":"Lisa toiming käskluste käivitamiseks kohalikult tööriistaribalt.","settings.localEnvironments.actions.icon.debug":"Kõrvalda vead","settings.localEnvironments.actions.icon.run":"Käivita","settings.localEnvironments.actions.icon.test":"Katse","settings.localEnvironments.actions.icon.tool":"Tööriist","settings.localEnvironments.actions.item.button.delete":"Kustuta","settings.localEnvironments.actions.item.command":"Toimingu skript","settings.localEnvironments.actions.item.name":"Nimi","settings.localEnvironments.actions.item.platforms":"Platvormid","settings.localEnvironments.actions.item.platforms.help":"Käivita ainult näidatud opsüsteemis.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Platvormi valimine","settings.localEnvironments.actions.item.platforms.specific":"Platvormispetsiifiline","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Kustuta","settings.localEnvironments.actions.title":"Toimingud","settings.localEnvironments.breadcrumb.back":"Tagasi","settings.localEnvironments.breadcrumb.edit":"redigeeri","settings.localEnvironments.breadcrumb.root":"Keskkonnad","settings.localEnvironments.environment.actions.description":"Need toimingud võivad käivitada mis tahes käsklusi ja kuvatakse päises.","settings.localEnvironments.environment.actionsLabel":"Toimingud","settings.localEnvironments.environment.create":"Loo kohalik keskkond","settings.localEnvironments.environment.defaultName":"kohalik","settings.localEnvironments.environment.edit":"Redigeeri kohalikku keskkonda","settings.localEnvironments.environment.empty":"Selle projekti jaoks ei ole kohalikku keskkonda veel seadistatud.","settings.localEnvironments.environment.name":"Nimi","settings.localEnvironments.environment.setup":"Seadistamise skript","settings.localEnvironments.environment.setup.description":"See skript käivitatakse tööpuu loomisel.","settings.localEnvironments.environment.setup.hint":"Käivitatakse projekti juurkataloogis.","settings.localEnvironments.environment.setup.platformOverrides":"Platvormi sürjed","settings.localEnvironments.environment.setup.platformOverrides.add":"Lisa {platform} seadistamisskript","settings.localEnvironments.environment.setup.platformOverrides.description":"Sürjab näidatud opsüsteemide vaikeskriptid.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Eemalda","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Keskkonna andmed","settings.localEnvironments.file.missing":"Salvesta selle faili esmakordseks loomiseks.","settings.localEnvironments.file.parseError":"Olemasolevat faili ei saanud parsida. Salvestamisel kirjutatakse see üle. ({error})","settings.localEnvironments.file.path":"Fail: {path}","settings.localEnvironments.file.readError":"Kohaliku keskkonna andmeid ei saanud laadida. ({error})","settings.localEnvironments.file.title":"Kohaliku keskkonna fail","settings.localEnvironments.loading.body":"Projekti konfiguratsiooni päringut teostatakse.","settings.localEnvironments.loading.title":"Kohalike keskkondade laadimine","settings.localEnvironments.preview.devOnly":"(Ainult DEV)","settings.localEnvironments.preview.save":"Salvesta","settings.localEnvironments.preview.saveError":"Faili salvestamine nurjus ({error})","settings.localEnvironments.preview.title":"Eelvaade","settings.localEnvironments.save.disabled.name":"Lisa salvestamiseks keskkonna nimi.","settings.localEnvironments.save.disabled.noChanges":"Pole salvestatavaid muudatusi.","settings.localEnvironments.save.disabled.saving":"Salvestamine...","settings.localEnvironments.save.success":"Salvestatud kohalik keskkond","settings.localEnvironments.unavailable.body":"Selle projekti kohaliku keskkonna seadeid ei saanud laadida.","settings.localEnvironments.unavailable.title":"Kohalikke keskkondi pole saadaval","settings.localEnvironments.workspace.add":"Lisa projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Lisa keskkond","settings.localEnvironments.workspaceSelect.description":"Kohalikud keskkonnad ütlevad Codexile, kuidas luua projekti jaoks tööpuid. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Projekte pole veel. Kohalike keskkondade seadistamiseks lisa projekt.","settings.localEnvironments.workspaceSelect.errorLabel":"Keskkond vajab ülevaatamist","settings.localEnvironments.workspaceSelect.learnMore":"Lisateave","settings.localEnvironments.workspaceSelect.listLabel":"Saadaval projektid","settings.localEnvironments.workspaceSelect.loading":"Projektide laadimine.","settings.localEnvironments.workspaceSelect.loadingLabel":"Keskkonna laadimine","settings.localEnvironments.workspaceSelect.title":"Vali projekt","settings.localEnvironments.workspaceSelect.viewAction":"Vaata","settings.mcp.addServer":"Lisa server","settings.mcp.app.configure":"Konfigureeri","settings.mcp.app.connect":"Ühenda","settings.mcp.apps.refresh":"Värskenda","settings.mcp.detail.addArgument":"Lisa argument","settings.mcp.detail.addEnvVar":"Lisa keskkonna muutuja","settings.mcp.detail.addEnvVarPassthrough":"Lisa muutuja","settings.mcp.detail.args":"Argumendid","settings.mcp.detail.back":"Tagasi","settings.mcp.detail.command":"Käivitamiskäsk","settings.mcp.detail.cwd":"Töökataloog","settings.mcp.detail.docs":"Ava MCP dokumentatsioon","settings.mcp.detail.docs.link":"Dokumendid","settings.mcp.detail.envVarPassthrough":"Keskkonna muutuja läbipääs","settings.mcp.detail.envVars":"Keskkonna muutujad","settings.mcp.detail.http.addEnvHeader":"Lisa muutuja","settings.mcp.detail.http.addHeader":"Lisa päis","settings.mcp.detail.http.bearerToken":"Kandja tokeni keskkonna muutujad","settings.mcp.detail.http.envHeaders":"Keskkonna muutujate päised","settings.mcp.detail.http.headers":"Päised","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nimi","settings.mcp.detail.save":"Salvesta","settings.mcp.detail.switchTransportNotice":"Kui soovid üle minna teist tüüpi MCP-serverile, pead esmalt desinstallima.","settings.mcp.detail.titleExisting":"Värskenda {name} MCP","settings.mcp.detail.titleNew":"Ühenda kohandatud MCP-ga","settings.mcp.detail.transport.http":"Voogedastatav HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Desinstalli","settings.mcp.empty":"Ühtki kohandatud MCP-serverit ei ole ühendatud","settings.mcp.myServers":"Kohandatud serverid","settings.mcp.partnerServer.description.figma":"Koosta koodi paremini täielikku Figma konteksti kaasates","settings.mcp.partnerServer.description.github":"Integreeri GitHubi API-dega töövoogude automatiseerimiseks ja andmete eraldamiseks","settings.mcp.partnerServer.description.linear":"Intergreeri Lineari probleemijälgimise ja projektijuhtimise funktsioonidega","settings.mcp.partnerServer.description.notion":"Loe dokumente, värskenda lehekülgi, halda ülesandeid","settings.mcp.partnerServer.description.playwright":"Intergreeri lehitseja automatiseerimine disaini rakendamiseks ja kasutajaliidese testimiseks.","settings.mcp.partnerServer.install":"Installi","settings.mcp.partnerServer.installAndAuthenticate":"Installi ja autendi","settings.mcp.partnerServer.logoAlt":"{label} logo","settings.mcp.partnerServer.manage":"Halda","settings.mcp.partnerServer.vendor":"autor {vendor}","settings.mcp.recommendedServers":"Soovitatud serverid","settings.mcp.restartApp":"Taaskäivita","settings.mcp.restartExtension":"Taaskäivita laiendus","settings.mcp.server.enable":"Luba","settings.mcp.server.login":"Autendi","settings.mcp.server.settings":"Seaded","settings.multiselect.createOption":'Loo "{value}"',"settings.multiselect.removeOption":"Eemalda","settings.nav.account":"Konto","settings.nav.agent":"Konfiguratsioon","settings.nav.ariaLabel":"Seaded","settings.nav.back":"Tagasi rakenduse juurde","settings.nav.data-controls":"Arhiivitud lõimed","settings.nav.environments":"Pilve keskkonnad","settings.nav.externalTooltip":"[alpha] Avaneb lehitsejas","settings.nav.general-settings":"Üldine","settings.nav.git-settings":"Git","settings.nav.local-environments":"Keskkonnad","settings.nav.mcp-settings":"+ MCP serverid","settings.nav.notImplemented":"[alpha] Ei ole Alphas saadaval","settings.nav.personalization":"Isikupärastamine","settings.nav.skills-settings":"Oskused","settings.nav.usage-analytics":"Kasutus ja statistika","settings.nav.worktrees":"Tööpuud","settings.openSourceLicenses.back":"Tagasi","settings.openSourceLicenses.loading":"Laadimine ...","settings.openSourceLicenses.missing":"Kolmanda osalise märkusi ei leitud.","settings.openSourceLicenses.notSupported":"Pole selles hostis saadaval.","settings.openSourceLicenses.rowDescription":"Kolmanda osalise märkused seoses kimpsõltuvustega","settings.openSourceLicenses.rowLabel":"Avatud lähtekoodiga litsentsid","settings.openSourceLicenses.subtitle":"Kolmanda osalise märkused seoses selle rakenduse sõltuvustega","settings.openSourceLicenses.title":"Avatud lähtekoodiga litsentsid","settings.openSourceLicenses.view":"Vaata","settings.personalization.agents.description":"Muuda juhiseid, millega Codex käepäraseks viimistleda. {learnMore}","settings.personalization.agents.learnMore":"Lisateave","settings.personalization.agents.loadError":"agents.md laadimine ei õnnestunud.","settings.personalization.agents.loading":"agents.md laadimine...","settings.personalization.agents.placeholder":"Lisa kohandatud juhised...","settings.personalization.agents.retry":"Proovi uuesti","settings.personalization.agents.save":"Salvesta","settings.personalization.agents.save.error":"agents.md salvestamine ei õnnestunud","settings.personalization.agents.save.success":"agents.md salvestatud","settings.personalization.agents.title":"Kohandatud juhised","settings.personalization.personality.description":"Vali vaikeaeg Codexi vastuste saamiseks","settings.personalization.personality.label":"Isikupära","settings.sample.contentBody":"Kasuta seda paigutust, et koostada oma seadete paneelid ühtlase vahega.","settings.sample.contentTitle":"Näidis sisuplokk","settings.section.account":"Konto","settings.section.agent":"Konfiguratsioon","settings.section.data-controls":"Arhiivitud lõimed","settings.section.environments":"Pilve keskkonnad","settings.section.external":"Avaneb sinu lehitsejas Alphaga","settings.section.general-settings":"Üldine","settings.section.git-settings":"Git","settings.section.local-environments":"Keskkonnad","settings.section.mcp-settings":"+ MCP serverid","settings.section.mcp-settings.docs":"Dokumendid","settings.section.mcp-settings.subtitle":"Väliste tööriistade ja andmeallikate ühendamine.","settings.section.personalization":"Isikupärastamine","settings.section.skills-settings":"Oskused","settings.section.unavailable":"Pole veel Alphas saadaval","settings.section.usage-analytics":"Kasutus ja statistika","settings.section.worktrees":"Tööpuud","settings.threadDetail.description":"Vali, kui palju käskluste väljundit kuvada lõimedes","settings.threadDetail.label":"Lõime andmed","settings.worktrees.conversation.untitled":"Nimetu vestlus","settings.worktrees.delete.error":"Tööpuu kustutamine nurjus","settings.worktrees.empty.body":"Codexi loodud tööpuud kuvatakse siin.","settings.worktrees.empty.title":"Pole veel tööpuid","settings.worktrees.error.body":"Tööpuude laadimisel läks midagi valesti.","settings.worktrees.error.retry":"Proovi uuesti","settings.worktrees.error.title":"Tööpuid ei saanud laadida","settings.worktrees.loading.body":"Tööpuu andmeid laaditakse.","settings.worktrees.loading.title":"Tööpuude laadimine","settings.worktrees.repository.loading":"Varamu metaandmete laadimine...","settings.worktrees.repository.unknown":"Tundmatu varamu","settings.worktrees.row.conversations":"Vestlused","settings.worktrees.row.conversations.empty":"Selle tööpuuga seotud vestlused puuduvad.","settings.worktrees.row.conversations.loading":"Vestluste laadimine...","settings.worktrees.row.delete":"Kustuta","settings.worktrees.row.title":"Tööpuu","sidebarElectron.addWorkspaceRoot":"Lisa uus projekt","sidebarElectron.archiveThread":"Arhiivi lõim","sidebarElectron.archiveThreadError":"Lõime arhiivimine nurjus","sidebarElectron.collapseFolder":"Kahanda kaust","sidebarElectron.createStableWorktree.dialog.cancel":"Tühista","sidebarElectron.createStableWorktree.dialog.create":"Loo","sidebarElectron.debugNavLink":"Kõrvalda vead","sidebarElectron.editWorkspaceRootOptionName":"Redigeeri nime","sidebarElectron.expandFolder":"Laienda kausta","sidebarElectron.groupByMenu.recency":"Ajaline loetelu","sidebarElectron.groupByMenu.title":"Organiseeri","sidebarElectron.groupByMenu.workspace":"Projekti järgi","sidebarElectron.inboxRouteNavLink":"Automatiseeringud","sidebarElectron.markThreadUnread":"Märgi mitteloetuks","sidebarElectron.missingWorkspaceRoot":"Projekti kaust on kustutatud või teisaldatud","sidebarElectron.newThread":"Uus lõim","sidebarElectron.newThreadInGroup":"Alusta uut lõime siin: {folder}","sidebarElectron.noRecentThreads":"Hiljutised lõimed puuduvad","sidebarElectron.noTasks":"Lõimed puuduvad","sidebarElectron.noTasks.start":"Lisa uus projekt","sidebarElectron.noTasksWithFilter":"Filtritele vastavad lõimed puuduvad","sidebarElectron.pinnedThreads":"Kinnitatud lõimed","sidebarElectron.recentNavLink":"Lõimed","sidebarElectron.recentThreads":"Hiljutised lõimed","sidebarElectron.removeWorkspaceRootOption":"Eemalda","sidebarElectron.renameThread":"Nimeta lõim ümber","sidebarElectron.renameThreadDialogAriaLabel":"Lõime nimi","sidebarElectron.renameThreadDialogCancel":"Tühista","sidebarElectron.renameThreadDialogPlaceholder":"Lisa nimi...","sidebarElectron.renameThreadDialogSave":"Salvesta","sidebarElectron.renameThreadDialogSubtitle":"Soovitus: lühike ja kergesti loetav.","sidebarElectron.renameThreadDialogTitle":"Nimeta lõim ümber","sidebarElectron.renameThreadError":"Lõime ümbernimetamine nurjus","sidebarElectron.renameWorkspaceRootOptionLabel":"Kuva nimi","sidebarElectron.showLess":"Kuva vähem","sidebarElectron.showMenu.all":"Kõik lõimed","sidebarElectron.showMenu.relevant":"Asjakohane","sidebarElectron.showMenu.relevantHint":"Kuva ainult praeguse haru või tööpuude viimased lõimed või muud sinu tähelepanu vajavad lõimed","sidebarElectron.showMenu.title":"Kuva","sidebarElectron.showMenu.tooltip":"Filtreeri, järjesta ja korrasta lõimesid","sidebarElectron.showMenu.trigger":"Külgriba lõimede filtreerimine","sidebarElectron.showMore":"Kuva rohkem","sidebarElectron.skillsRouteNavLink":"Oskused","sidebarElectron.sortMenu.created":"Loodud","sidebarElectron.sortMenu.title":"Sortimisalus","sidebarElectron.sortMenu.updated":"Värskendatud","sidebarElectron.taskNavigation":"Automatiseerimisülesannete kaustad","sidebarElectron.tasksInFolder":"Automatiseeringud siin: {folder}","sidebarElectron.workspaceOptions":"Projekti toimingud ({folder})","sidebarElectron.worktreeGroupTooltip":"See on giti tööpuu","skills.appsPage.createSkill":"Uus oskus","skills.appsPage.empty.skills":"Oskusi ei leitud","skills.appsPage.search.skills":"Oskuste otsing","skills.appsPage.search.skills.label":"Oskuste otsing","skills.appsPage.section.installedApps":"Installitud","skills.appsPage.section.skills":"Oskused","skills.appsPage.subheading":"Muuda Codex superkangelaseks.<link>Lisateave</link>","skills.appsPage.tab.recommended":"Soovitatud","skills.appsPage.tab.skills":"Oskused","skills.card.contentsError":"Oskuse sisu ei saanud laadida.","skills.card.disable":"Keela","skills.card.disableSuccess":"{skillName} oskus keelatud","skills.card.disabledBadge":"Keelatud","skills.card.enable":"Luba","skills.card.enableSuccess":"{skillName} oskus lubatud","skills.card.loadingContents":"Oskuse sisu laadimine...","skills.card.more":"Rohkem toiminguid","skills.card.open":"Ava","skills.card.removeFailed":"Oskuse desinstallimine nurjus","skills.card.removeSuccess":"{skillName} oskus desinstallitud","skills.card.toggleEnabledError":"Oskuse värskendamine nurjus","skills.card.try":"Proovi","skills.card.trySkill":"Katseta oskust","skills.card.uninstall":"Desinstalli","skills.hero.dotLabel":"Mine slaidile {index} ","skills.hero.next":"Järgmine väärt oskus","skills.hero.trySkill":"Katseta oskust","skills.page.createSkill":"Uus oskus","skills.page.empty":"Oskusi ei leitud","skills.page.filteredEmpty":"Ükski üksus ei vasta sinu filtritele","skills.page.filteredEmptyDescription":"Muuda otsingut või filtreid","skills.page.heading":"Oskused","skills.page.loading":"Oskuste laadimine...","skills.page.refreshSkills":"Värskenda","skills.page.refreshSkillsToUseNew":"Uu(t)e oskus(t)e kasutamiseks värskenda","skills.page.search":"Oskuste otsing","skills.page.search.label":"Oskuste otsing","skills.page.subheading":"Muuda Codex superkangelaseks.<link>Lisateave</link>","skills.preview.copyPrompt":"Kopeeri viip","skills.preview.examplePrompt":"Näidisviip","skills.recommended.error":"Soovitatud oskuste laadimine nurjus","skills.recommended.install":"Installi","skills.recommended.installSkill":"Installi oskus","skills.recommended.installSuccess":"{skillName} oskus installitud","skills.recommended.installed":"Installitud","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Admini installitud","skills.scope.builtIn":"Süsteem","skills.scope.personal":"Isiklik","skills.scope.repo":"Varamu","skills.scope.system":"Süsteem","skills.scope.team":"Meeskond","skills.scope.user":"Kasutaja","skills.section.installed":"Installitud","skills.section.recommended":"Soovitatud","story.slidingToggle.existing":"Olemasolev","story.slidingToggle.fromLocal":"Kohalikust keskkonnast","story.slidingToggle.new":"Uus","story.slidingToggle.toLocal":"Kohalikku keskkonda","terminal.close":"Sulge terminal","terminal.title":"Terminal","thinkingShimmer.default":"Mõtlemine","threadEnvIcon.cloudTooltip":"See vestlus käivitati Codexi pilvekeskkonnas.","threadEnvIcon.localTooltip":"See vestlus käivitati kohalikus keskkonnas.","threadEnvIcon.worktreeTooltip":"See vestlus käivitati kohalikus giti tööpuus.","threadHeader.archiveConfirmCancel":"Tühista","threadHeader.archiveConfirmConfirm":"Arhiivi","threadHeader.copySessionId":"Kopeeri seansi ID","threadHeader.copyWorkingDirectory":"Kopeeri töökataloog","threadHeader.forkIntoLocal":"Hargi kohalikku töökoopiasse","threadHeader.forkIntoWorktree":"Hargi uude tööpuusse","threadHeader.forkPendingWorktreePrompt":"Hargi see vestlus uude tööpuusse.","threadHeader.forkPendingWorktreeTitle":"Hargitud vestlus","threadHeader.forkThreadError":"Lõime harkimine nurjus","threadHeader.forkThreadRequiresGitRepo":"Uude tööpusse harkimiseks on vajalik giti varamu","threadHeader.moreActions":"Lõime toimingud","threadPage.newThread":"Uus lõim","threadPage.runAction.changeEnvironment":"Keskkonna muutmine","threadPage.runAction.dropdown.titleWithEnvironment":"Toimingud ({environmentName} )","threadPage.runAction.environmentSelector.label":"Vali keskkond","threadPage.runAction.label":"Käivita","threadPage.runAction.missing.label":"Seadista käivitamistoiming","threadPage.runAction.setup.commandLabel":"Käivitamiskäsk","threadPage.runAction.setup.description":"Räägi Codexile, kuidas installida sõltuvused ja käivitada sinu rakendus.","threadPage.runAction.setup.editMore":"Keskkonna seaded","threadPage.runAction.setup.placeholder":"nt: npm install npm run","threadPage.runAction.setup.submit":"Salvesta ja käivita","threadPage.runAction.setup.title":"Käivita","threadPage.runAction.tooltip.withEnvironment":"Toimingud ({environmentName} )","threadPage.toggleDiffPanel":"Diffi paneeli valikud","threadPage.toggleTerminal":"Terminali valikud","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Ava kaust","toolSummaryForCmd.exploredFiles":"<verb>Loetellu kuuluvad</verb> failid","toolSummaryForCmd.exploredFilesInPath":"<verb>Loetellu kuuluvad</verb> failid siin: {path}","toolSummaryForCmd.exploringFiles":"<verb>Loetletakse</verb> faile","toolSummaryForCmd.exploringFilesInPath":"<verb>Loetletakse</verb> faile siin: {path}","toolSummaryForCmd.ranGenericCommand":"<status>Käitati käsklus</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Käivitas</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Loe</verb> allikat {path}","toolSummaryForCmd.runningGenericCommand":"<status>Käivitatud käsklus</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}","toolSummaryForCmd.searchedFor":"<verb>Otsis</verb> teemat {query}","toolSummaryForCmd.searchedForFiles":"<verb>Otsis</verb> faile","toolSummaryForCmd.searchedForInPath":"<verb>Otsis</verb> teemat {query} siin: {path}","toolSummaryForCmd.searchingFor":"<verb>Otsitakse</verb> ({query})","toolSummaryForCmd.searchingForFiles":"<verb>Otsitakse</verb> faile","toolSummaryForCmd.searchingForInPath":"<verb>Otsitakse</verb> teemat {query} siin: {path}","traceRecording.startDetails.cancel":"Tühista","wham.diff.addComment":"Lisa kommentaare","wham.diff.binaryFile":"Binaarfaili ei näidata","wham.diff.noContent":"Sisu puudub","wham.fileTag.deleted":"Kustutatud","wham.fileTag.new":"Uus","wham.formattedRelativeDateTime.compactDaysAgo":"{value} p","wham.formattedRelativeDateTime.compactHoursAgo":"{value} t","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} k","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} n","wham.formattedRelativeDateTime.compactYearsAgo":"{value} a","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Töötame sinu ülesande kallal","wham.whamProposedTask.title":"Soovitatud ülesanne","wham.whamProposedTask.useSuggestion":"Kasuta soovitust","workspaceRootDialog.addError":"Projekti lisamine nurjus","workspaceRootDialog.cancel":"Tühista","workspaceRootDialog.confirmAdd":"Lisa projekt","workspaceRootDialog.confirmPick":"Kasuta projekti","workspaceRootDialog.description":"Sisesta asukoht ({host}), mida kasutada projektina.","workspaceRootDialog.pathLabel":"Projekti asukoht","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Lisa projekti asukoht","workspaceRootDialog.title.pick":"Vali projekti asukoht","worktreeInitV2.cancel":"Tühista","worktreeInitV2.notification.failedTitle":"Tööpuu seadistamine nurjus","worktreeInitV2.output.empty":"Väljundi ootamine...","worktreeInitV2.status.error":"Tööpuu seadistamine nurjus.","worktreeInitV2.status.running":"Tööpuu loomine ja seadistamine.","worktreeInitV2.status.runningFork":"Tööpuu loomine selle vestluse harkimiseks","worktreeInitV2.status.success":"Tööpuu on valmis.","worktreeInitV2.title":"Tööpuu loomine","worktreeInitV2.workLocallyInstead":"Tööta kohalikus keskkonnas","worktreeRestoreBanner.body":"Selle lõime tööpuu eemaldati kettaruumi säästmiseks","worktreeRestoreBanner.missing.body":"Selle lõime töökataloogi pole enam","worktreeRestoreBanner.missing.title":"Töökataloog puudub","worktreeRestoreBanner.restore.error":"Tööpuu taastamine nurjus: {message}","worktreeRestoreBanner.restore.success":"Tööpuu taastatud","worktreeRestoreBanner.restoreCta":"Taasta tööpuu","worktreeRestoreBanner.title":"Tööpuu puhastatud"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopeeri","app.sidebar.hide":"Peida külgriba","app.sidebar.show":"Kuva külgriba","app.sidebar.tooltip":"Külgriba sisselülitamine","appHeader.installUpdate":"Värskenda","appSunset.body":"Seda rakenduse versiooni enam ei toetata. Laadi alla uusim versioon <here>siit</here>.","appSunset.title":"Värskendus nõutud","automation.updateDirective.create":"Loo","automation.updateDirective.open":"Ava","automation.updateDirective.untitled":"Nimetu automatiseerimisülesanne","automation.updateDirective.update":"Värskenda","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# katse} other {# katset}}","cloudTaskRow.archiveError":"Ülesande arhiivimine ebaõnnestus","code.diff.requestChange":"Taotle muutust","code.diffComment.cancel":"Tühista","code.diffComment.comment":"Kommenteeri","code.diffComment.delete":"Kustuta","code.diffComment.save":"Salvesta","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Vasteid ei tuvastatud.","codex.alert.closeAriaLabel":"Sulge","codex.appUpsellBanner.cbpApi.message":"Codexi rakendusega töötad kiiremini. Laadi kohe alla või {learnMoreLink}.","codex.appUpsellBanner.download":"Laadi alla","codex.appUpsellBanner.freeGo.message":"Codex on sinu tellimusega saadaval 2. märtsini. Kiiremaks tööks proovi Codexi rakendust.","codex.appUpsellBanner.later":"Hiljem","codex.appUpsellBanner.learnMoreLowercase":"loe lisateavet siit","codex.appUpsellBanner.new":"Uus","codex.appUpsellBanner.proPlusBusiness.message":"Proovi Codexi rakendust kahekordse mahulimiidiga kuni 2. aprillini. Laadi kohe alla või {learnMoreLink}.","codex.appUpsellBanner.title":"Codexi rakendus","codex.applyDropdown.header.changes":"Muudatused","codex.applyDropdown.header.fileCount":"{count, plural, one {# fail} other {# faili}}","codex.applyDropdown.header.rows":"read","codex.applyDropdown.header.title":"Rakenda muudatused","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 konfliktne fail:} other {{count} konfliktset faili:}}","codex.applyDropdown.results.empty":"Ühtki faili ei kopeeritud","codex.applyDropdown.results.skipped":"{count, plural, one {1 fail vahele jäetud:} other {{count} faili vahele jäetud:}}","codex.applyOrRevertBanner.apply":"Kohalda","codex.applyOrRevertBanner.applyMessage":"Rakenda muudatused ja jätka lokaalselt?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"See ülesanne on koostatud keskkonnas {environment}, seega ei pruugi see puhtalt kohalduda.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Keskkonnas {environment} tehtud muudatused ei pruugi puhtalt kohalduda.","codex.applyOrRevertBanner.reapply":"Rakenda uuesti","codex.applyOrRevertBanner.revert":"Pööra ümber","codex.applyOrRevertBanner.revertMessage":"Pööra rakendatud muudatused ümber?","codex.applyResultsDialog.applied":"Rakendatud puhtalt ({count})","codex.applyResultsDialog.close":"Sulge","codex.applyResultsDialog.conflicted":"Konfliktne ({count})","codex.applyResultsDialog.noDetails":"Faili andmed pole saadaval.","codex.applyResultsDialog.skipped":"Jäeti vahele ({count})","codex.applyResultsDialog.title":"Rakenda tulemused","codex.archiveInfo":"Vaata arhiivitud vestlusi siin: {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Andmete juhtelemendid","codex.archiveInfo.electron":"Vaata arhiveeritud vestlusi siin: {settingsLink}","codex.archiveInfo.extension":"Vaata arhiivitud kaustas .codex. ","codex.archiveInfo.settingsLink":"Seaded","codex.banner.content.description":"Käivita ülesanded paralleelselt, jälgi protsessi kõikjal ja vaata AI abil üle PR-id.","codex.banner.content.headline":"Codex teeb seda kõike.","codex.cloudTaskRow.archiveTask":"Arhiivi ülesanne","codex.cloudTaskRow.confirmArchiveTask":"Kinnita","codex.command.feedback":"Tagasiside","codex.command.findInThread":"Leia","codex.command.forceReloadSkills":"Oskuste uuesti sundlaadimine","codex.command.logOut":"Logi välja","codex.command.manageTasks":"Halda ülesandeid","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Tagasi","codex.command.navigateForward":"Edasi","codex.command.newThread":"Uus lõim","codex.command.nextThread":"Järgmine lõim","codex.command.openFolder":"Ava kaust","codex.command.openSkills":"Ava oskused","codex.command.openThreadOverlay":"Lõime hüpikaken","codex.command.personalitySettings":"Isikupära","codex.command.previousThread":"Eelmine lõim","codex.command.settings":"Seaded","codex.command.toggleDiffPanel":"Diffi paneeli valikud","codex.command.toggleSidebar":"Külgriba sisselülitamine","codex.command.toggleTerminal":"Terminali valikud","codex.commandGroup.app":"Rakendus","codex.commandGroup.configure":"Konfigureeri","codex.commandGroup.navigation":"Navigeerimine","codex.commandGroup.panels":"Paneelid","codex.commandGroup.skills":"Oskused","codex.commandGroup.thread":"Lõim","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Vasteid ei leitud","codex.commandMenu.searchPlaceholder":"Käskluste otsing","codex.commandMenu.suggestedGroup":"Soovitatud","codex.commandMenu.switchWorkspace":"Vaheta projekti","codex.commandMenu.title":"Käskluste menüü","codex.common.retry":"Proovi uuesti","codex.composer.searchBranches":"Otsi harusid...","codex.dialog.basic.body":"See on lihtne modaalsuse dialoogiaken, mis kasutab meie Radix Dialogi kestprogrammi.","codex.dialog.basic.cancel":"Tühista","codex.dialog.basic.confirm":"Kinnita","codex.dialog.basic.open":"Ava dialoog","codex.dialog.basic.title":"Näidisdialoog","codex.dialog.long.close":"Sulge","codex.dialog.long.line":"Keritav rida {index}, et näidata pikka sisu dialoogi sees.","codex.dialog.long.open":"Ava pikk dialoog","codex.dialog.long.title":"Pikk sisu dialoog","codex.dialog.unstyled.body":"See lugu näitab, kuidas kõnes osalejad saavad täielikult määrata dialoogi sisu stiili.","codex.dialog.unstyled.open":"Ava stiilita dialoog","codex.dialog.unstyled.title":"Stiilita sisu","codex.diff.openInEditorPrompt.openButton":"Ava redaktoris","codex.diff.openInEditorPrompt.singleLine":"See fail on siin kuvamiseks liiga suur.","codex.diffView.failedToDecodeBase64Diff":"Base64 dff’i dekodeerimine ebaõnnestus","codex.diffView.filesChanged":"{fileCount, plural, one {# fail muudetud} other {# faili muudetud}}","codex.diffView.imagePreviewAlt":"Pildi eelvaade","codex.diffView.imagePreviewEmpty":"Pilte pole","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Diff’i andmed puuduvad","codex.diffView.pdfPreview.nextPage":"Järgmine lehekülg","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Eelmine lehekülg","codex.diffView.pdfPreviewEmpty":"PDF-i eelvaade puudub","codex.diffView.pdfPreviewError":"PDF-i eelvaadet ei saanud kuvada","codex.diffView.richPreviewDisable":"Keela rikkalik eelvaade","codex.diffView.richPreviewEnable":"Luba rikkalik eelvaade","codex.diffView.richPreviewLoading":"Eelvaate laadimine...","codex.diffView.richPreviewToggle":"Rikkaliku eelvaate valikud","codex.diffView.switchToUnified":"Lülitu unifitseeritud diffile","codex.environmentSelector.noEnvironment":"Keskkonnad puuduvad","codex.environments.environmentSettings":"Keskkonna seaded","codex.environments.learnMore":"Lisateave","codex.environments.listError":"Keskkondade laadimine nurjus.","codex.environments.noEnvironmentsFound":"Keskkondi ei leitud","codex.environments.searchError":"Keskkondade otsimine nurjus.","codex.errorBoundary.genericError":"Oih, ilmnes tõrge","codex.errorBoundary.goHome":"Proovi uuesti","codex.file.patch.missing":"Sellele failile ei saanud paika koostada.","codex.gallery.automations.cwdLabel":"Projektid","codex.gallery.automations.nameLabel":"Nimi","codex.gallery.automations.namePlaceholder":"Tee ülesandest kokkuvõte","codex.gallery.automations.promptLabel":"Viip","codex.gallery.automations.promptPlaceholder":"Kirjelda, mida Codexil tuleks teha","codex.gallery.dialogs.automation.label":"Automatiseerimisülesande dialoog","codex.gallery.dialogs.basic.body":"Kasuta seda kujundust lihtnõusolekute või lühivormide jaoks.","codex.gallery.dialogs.basic.cancel":"Tühista","codex.gallery.dialogs.basic.confirm":"Kinnita","codex.gallery.dialogs.basic.label":"Põhidialoog","codex.gallery.dialogs.basic.title":"Näidisdialoog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Kirjelda probleemi…","codex.gallery.dialogs.feedbackSubmission.bad":"Halb tulemus","codex.gallery.dialogs.feedbackSubmission.bug":"Viga","codex.gallery.dialogs.feedbackSubmission.good":"Hea tulemus","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Lisa praeguse Codexi seansi logid","codex.gallery.dialogs.feedbackSubmission.label":"Tagasiside esitamine","codex.gallery.dialogs.feedbackSubmission.other":"Muu","codex.gallery.dialogs.feedbackSubmission.placeholder":"Kirjelda probleemi siin","codex.gallery.dialogs.feedbackSubmission.submit":"Esita","codex.gallery.dialogs.feedbackSubmission.title":"Tagasiside","codex.gallery.dialogs.feedbackSuccess.body":"Tagasiside on üles laaditud. Probleemi püsimisel ava GitHubi tõrketeade või maini lõime ID-d olemasolevas teemas:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Hülga","codex.gallery.dialogs.feedbackSuccess.label":"Tagasiside edukalt esitatud","codex.gallery.dialogs.feedbackSuccess.title":"Tagasiside on üles laaditud.","codex.gallery.dialogs.gitApplyResults.applied":"Rakendatud puhtalt (2)","codex.gallery.dialogs.gitApplyResults.close":"Sulge","codex.gallery.dialogs.gitApplyResults.conflicted":"Konfliktsed (1)","codex.gallery.dialogs.gitApplyResults.label":"Rakenda tulemused","codex.gallery.dialogs.gitApplyResults.title":"Rakenda tulemused","codex.gallery.dialogs.gitPushError.body":"Tõmba viimased muudatused või tee sund-push, kui tead, et kaugajaloo ülekirjutamine on turvaline.","codex.gallery.dialogs.gitPushError.cancel":"Tühista","codex.gallery.dialogs.gitPushError.force":"Sundpush","codex.gallery.dialogs.gitPushError.label":"Pushi viga","codex.gallery.dialogs.gitPushError.subtitle":"Sinu haru on origin/main-ist maha jäänud.","codex.gallery.dialogs.gitPushError.title":"Muudatuste push nurjus","codex.gallery.dialogs.gitRevert.cancel":"Tühista","codex.gallery.dialogs.gitRevert.confirm":"Pööra ümber","codex.gallery.dialogs.gitRevert.label":"Tühista muudatused","codex.gallery.dialogs.gitRevert.skip":"Ära rohkem küsi","codex.gallery.dialogs.gitRevert.subtitle":"Selle toiminguga eemaldatakse kõik need muudatused.","codex.gallery.dialogs.gitRevert.title":"Kas tühistada muudatused?","codex.gallery.dialogs.longForm.label":"Pikk dialoog","codex.gallery.dialogs.proseModal.body":"Seda modaalstiili kasutatakse pikemate juhiste, alustavate kasutajate juhendamise ja rikkalike sisuplokkide jaoks.","codex.gallery.dialogs.proseModal.close":"Sulge","codex.gallery.dialogs.proseModal.subtitle":"Jaga pikemaid juhiseid või dokumente siin.","codex.gallery.dialogs.proseModal.title":"Tekstimodaal","codex.gallery.dialogs.submitBlocked.label":"Esitamine blokeeritud","codex.gallery.dialogs.submitBlocked.message":"Sõnumit ei saanud saata, sest projekt ei ole kättesaadav.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Sõnumit ei saanud saata","codex.gallery.dialogs.title":"Dialoogid","codex.gallery.dropdown.filterPlaceholder":"Üksuste filtreerimine","codex.gallery.dropdowns.actionRow":"Toiminguread","codex.gallery.dropdowns.actionRow.disabled":"Keelatud tegevus","codex.gallery.dropdowns.actionRow.primary":"Peamine tegevus","codex.gallery.dropdowns.actionRow.secondary":"Teisene tegevus","codex.gallery.dropdowns.actionRow.trigger":"Kuva tegevused","codex.gallery.dropdowns.basic":"Lihtne ripploend","codex.gallery.dropdowns.basic.newFile":"Uus fail","codex.gallery.dropdowns.basic.newFolder":"Uus kaust","codex.gallery.dropdowns.basic.openSettings":"Ava seaded","codex.gallery.dropdowns.basic.title":"Kiirtoimingud","codex.gallery.dropdowns.basic.trigger":"Ava menüü","codex.gallery.dropdowns.basic.upload":"Laadi üles","codex.gallery.dropdowns.panel":"Paneel","codex.gallery.dropdowns.panel.apply":"Kohalda","codex.gallery.dropdowns.panel.body":"Vaata üle diffid ja rakenda oma projektis.","codex.gallery.dropdowns.panel.preview":"Eelvaade","codex.gallery.dropdowns.panel.title":"Rakenda muudatused","codex.gallery.dropdowns.panel.trigger":"Ava paneel","codex.gallery.dropdowns.search":"Otsinguvõimalusega ripploend","codex.gallery.dropdowns.search.first":"Alpha kanal","codex.gallery.dropdowns.search.second":"Beeta haru","codex.gallery.dropdowns.search.third":"Avaldamiseks olemas","codex.gallery.dropdowns.search.trigger":"Üksuste filtreerimine","codex.gallery.dropdowns.submenu":"Ripploend alammenüüga","codex.gallery.dropdowns.submenu.optionA":"Projekt alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt beeta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Määra omanik","codex.gallery.dropdowns.submenu.secondary":"Liiguta siia:","codex.gallery.dropdowns.submenu.tertiary":"Arhiivi","codex.gallery.dropdowns.submenu.trigger":"Vali tegevus","codex.gallery.dropdowns.title":"Ripploendid","codex.gallery.inbox.automations.close":"Sulge","codex.gallery.inbox.automations.popover.cardTitle":"Halda automatiseerimisülesandeid","codex.gallery.inbox.automations.popover.dialogTitle":"Halda automatiseerimisülesandeid","codex.header.settingsTooltip":"Seaded","codex.hunk.patch.error":"Ei saanud proovilauale panna","codex.hunk.patch.missing":"Selle koodilõigule ei saanud paika koostada.","codex.hunk.patch.partialSuccess":"Õnnestus osaliselt","codex.hunk.patch.revertError":"Ei saanud proovilaualt eemaldada","codex.hunk.patch.revertSuccess":"Edukalt proovilaualt eemaldatud","codex.hunk.patch.success":"Edukalt proovilauale pandud","codex.legal.autonomy.details":"Vaata üksikasju {link}","codex.legal.autonomy.details.link":"Codexi dokumendid","codex.legal.autonomy.title":"Otsusta, kui palju autonoomsust soovid anda","codex.legal.backButton":"Tagasi","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt","codex.legal.cloud.taskOne.title":"Selgita varamut uuele disainerile","codex.legal.cloud.taskThree.meta":"openai/codex · 8. okt","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Loo tumeda režiimiga teema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Paranda alustamisega seotud viga","codex.legal.continue.apikey":"Jätka","codex.legal.continueButton":"Järgmine","codex.legal.copilot.details":"Kasutab sinu Copiloti plaani kõigi mudeli kõnede, arvelduste ja hinnangu piirangute puhul. Codexi laiendi kasutamisele kehtivad nii {oaiTos} kui ka {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHubi teenusetingimused","codex.legal.copilot.oaiTosLink":"OpenAI Codexi teenusetingimused","codex.legal.copilot.title":"Platvormiks on GitHub Copilot","codex.legal.mistakes.review":"Vaata üle kood, mida see kirjutab ja mis käsklusi see käivitab","codex.legal.mistakes.title":"Codex võib eksida","codex.legal.powered.details":"Kasutab sinu plaani määra piiranguid ja {link}","codex.legal.powered.details.link":"koolitusandmete eelistused","codex.legal.powered.title":"Platvormiks on sinu ChatGPT konto","codex.legal.step.cloud.subtitle":"Saada ülesandeid Codexile, et kasutada neid taustal, et saaksid paremini keskenduda ja kiiremini edasi liikuda.","codex.legal.step.cloud.title":"Esita Codexile pilves","codex.legal.step.intro.subtitle":"Codex navigeerib, parandab, käivitab käsklusi ja rakendab teste otse sinu varamus. Platvormiks on sinu ChatGPT konto.","codex.legal.step.intro.title":"Codex sinu IDE-s","codex.legal.step.todo.subtitle":"Kirjuta TÖÖDE NIMEKIRJA kommentaar ja muuda see ühe klõpsuga Codexi ülesandeks.","codex.legal.step.todo.title":"Muuda TÖÖDE NIMEKIRJAD Codexi ülesanneteks","codex.legal.todo.heading":"// TÖÖDE NIMEKIRI: rakenda skeem","codex.localConversation.closeImagePreview":"Sulge pildi eelvaade","codex.localConversation.userImageAttachment":"Kasutaja manus","codex.localTaskRow.archiveTask":"Arhiivi lõim","codex.localTaskRow.awaitingApproval":"Heakskiidu ootel","codex.localTaskRow.awaitingResponse":"Vastuse ootamine","codex.localTaskRow.confirmArchiveTask":"Kinnita","codex.loggedOut.apiKeyPrompt.cancel":"Tühista","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Hangi API-võti","codex.loggedOut.apiKeyPrompt.inputLabel":"Sisesta OpenAI API-võti","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Pilve ülesanded inaktiveeritud API-võtmega","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Pilve ülesanded inaktiveeritud Copiloti ja API-võtmega","codex.loggedOut.signIn":"Logi sisse ChatGPT-ga","codex.loggedOut.signIn.cancel":"Tühista sisselogimine","codex.loggedOut.signInWithCopilot":"Logi sisse GitHub Copilotiga","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Kasuta API-võtit","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} tööriist","codex.mcpTool.collapsedLabel.verb.called":"Käivitatud","codex.mcpTool.collapsedLabel.verb.calling":"Käivitamine","codex.mcpTool.embeddedResource.contentLabel":"Sisu","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME tüüp","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Tööriist ei andnud sisu","codex.mcpTool.rawPayloadHeading":"Toor-{server}.{tool} tööriistakäivituse last","codex.menu.recent":"Hiljutine","codex.menu.seeAllHistory":"Vaata tervet ajalugu","codex.modelCapacityBanner.headline.noReset":"{modelName} on hetkel saavutanud võimete piiri. Proovi hiljem uuesti või alusta uut vestlust teise mudeliga.","codex.modelCapacityBanner.headline.withReset":"{modelName}  on hetkel saavutanud võimete piiri. Proovi mõne aja pärast uuesti ({resetDate}) või alusta uut vestlust teise mudeliga.","codex.modelCapacityBanner.title":"Valitud mudel on saavutanud võimete piiri","codex.patch.change.contentsDeleted":"Sisu kustutatud","codex.patch.change.created":"Loodud","codex.patch.change.created-file":"Loodud fail","codex.patch.change.creating":"Loomine","codex.patch.change.deleted":"Kustutatud","codex.patch.change.deleted-file":"Kustutatud fail","codex.patch.change.deleting":"Kustutamine","codex.patch.change.edited":"Redigeeritud","codex.patch.change.edited-file":"Redigeeritud fail","codex.patch.change.editing":"Redigeerimine","codex.patch.change.noChanges":"Muudatusi pole","codex.patch.change.rejected-add":"Tagasi lükatud","codex.patch.change.rejected-delete":"Tagasi lükatud","codex.patch.change.rejected-edit":"Tagasi lükatud","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed}/{total} ülesandest lõpetatud","codex.plan.todoListCreated":"Tööde nimekiri on koostatud {total} ülesandega","codex.profileDropdown.apiKeyAuth":"Logitud sisse API-võtmega","codex.profileDropdown.codexSettings":"Codexi seaded","codex.profileDropdown.copilotAuth":"Logitud sisse Copilotiga","codex.profileDropdown.defaultAccountTitle":"Vaikimisi konto","codex.profileDropdown.enterBehavior":"Pikkade viipade saatmiseks kasuta {modifierSymbol} + sisestusklahv ","codex.profileDropdown.enterBehaviorError":"Seadete värskendamine ebaõnnestus","codex.profileDropdown.getPlus":"Täiusta tellmust suurema limiidi saamiseks","codex.profileDropdown.keyboardShortcuts":"Kiirklahvid","codex.profileDropdown.language":"Keel","codex.profileDropdown.languageDefault":"Tuvasta automaatselt","codex.profileDropdown.languageSearchPlaceholder":"Otsi keeli","codex.profileDropdown.languageUpdateError":"Keele muutmine nurjus","codex.profileDropdown.logOut":"Logi välja","codex.profileDropdown.mcp":"MCP-seaded","codex.profileDropdown.openConfigToml":"Ava config.toml","codex.profileDropdown.openConfigToml.wsl":"Ava config.toml WSLi keskkonnas","codex.profileDropdown.openExtensionSettings":"Ava seaded","codex.profileDropdown.openMcpSettings":"Ava MCP-seaded","codex.profileDropdown.openOnStartup":"Ava käivitamisel","codex.profileDropdown.openOnStartupError":"Seadete värskendamine ebaõnnestus","codex.profileDropdown.openSkillsSettings":"Ava oskuste seaded","codex.profileDropdown.personalAccountTitle":"Isiklik konto","codex.profileDropdown.queueFollowUps":"Pane järeltegevused järjekorda","codex.profileDropdown.queueFollowUpsError":"Seade värskendamine nurjus","codex.profileDropdown.readDocs":"Loeb dokumente","codex.profileDropdown.readSkillsDocs":"Loeb dokumente","codex.profileDropdown.runInWsl":"Käivita WSL-is","codex.profileDropdown.runInWslError":"Seadete värskendamine ebaõnnestus","codex.profileDropdown.runInWslTooltip":"Käivitab Codexi WSL-is. Soovitatud liivakasti täiustatud turvalisuse ja parema jõudluse.","codex.profileDropdown.settings":"IDE seaded","codex.profileDropdown.settingsPage":"Seaded","codex.profileDropdown.signInWithOpenAI":"Logi sisse ChatGPT-ga","codex.profileDropdown.skills":"Oskuste seaded","codex.profileDropdown.switchToCopilotAccount":"Kasuta Copiloti kontot","codex.profileDropdown.switchToOpenAIAccount":"Kasuta OpenAI kontot","codex.profileDropdown.todoCodelens":"Paranda TÖÖDE NIMEKIRJA kommentaare","codex.profileDropdown.todoCodelensError":"Seadete värskendamine ebaõnnestus","codex.profileDropdown.windowsDocumentation":"Windowsi dokumentatsioon","codex.profileFooter.signedInFallback":"Seaded","codex.profileFooter.upgrade":"Täiusta","codex.recentTasksMenu.clearSearch":"Tühjenda otsing","codex.recentTasksMenu.cloud":"Pilve ülesanded","codex.recentTasksMenu.count":"{count, plural, =0 {Lõpetamata ülesanded puuduvad} one {# pooleliolev ülesanne} other {# pooleliolevat ülesannet}}","codex.recentTasksMenu.empty":"Pole veel lõimi","codex.recentTasksMenu.errorCloud":"Ülesannete laadimine nurjus.","codex.recentTasksMenu.errorCloud.inline":"Pilve ülesannete laadimine nurjus.","codex.recentTasksMenu.filterAll":"Kõik","codex.recentTasksMenu.filterCloudTasks":"Filtreeri pilve ülesanded","codex.recentTasksMenu.filterTooltip":"Ülesannete filtreerimine keskkonna järgi","codex.recentTasksMenu.local":"Kohalikud ülesanded","codex.recentTasksMenu.recent":"Kõik ülesanded","codex.recentTasksMenu.search":"Otsi hiljutisi ülesandeid","codex.recentTasksMenu.searchEmpty":"Tulemusi pole","codex.recentTasksMenu.tooltip":"Ülesande ajalugu","codex.recentTasksMenu.trigger":"Hiljutised ülesanded. {count, plural, one {# pooleli} other {# pooleli}}","codex.remoteConversation.applyDiff.applyCta":"Rakenda muudatused","codex.remoteConversation.applyDiff.dropdownTitle":"Rakenda muudatused kohalikus harus","codex.remoteConversation.applyDiff.revertCta":"Tühista muudatused","codex.remoteConversation.closeImagePreview":"Sulge pildi eelvaade","codex.remoteConversation.codexCloudTask":"Sa vaatad <u>Codexi pilve</u> ülesannet","codex.remoteConversation.errorWithMessage":"Viga: {message}","codex.remoteConversation.loadingImage":"Pildi laadimine","codex.remoteConversation.openInWeb":"Ava veebis","codex.remoteConversation.streaming":"Alustamine","codex.remoteConversation.turnFailed":"Selle ülesande käigus esines viga","codex.remoteConversation.turnTab.loading":"Katse {number}","codex.remoteConversation.turnTab.title":"Katse {number}","codex.remoteConversation.userImageAttachment":"Kasutaja manus","codex.remoteConversation.viewPreviousTurns":"Ava veebis","codex.remoteConversation.viewPreviousTurns.buttonText":"Ava","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Ava veebis","codex.review.copyGitApplyCommand":"Kopeeri git apply käsklus","codex.review.copyGitApplyCommand.toast":"Kopeeritud git apply käsklus lõikelauale","codex.review.diffTooLarge.description":"See diff on ülevaates kuvamiseks liiga suur.","codex.review.diffTooLarge.title":"See diff on kuvamiseks liiga suur","codex.review.expandOrCollapseDiffButton.collapse":"Kahanda kõik erinevused","codex.review.expandOrCollapseDiffButton.expand":"Laienda kõik erinevused","codex.review.expandOrCollapseDiffMenu.collapse":"Kahanda kõik erinevused","codex.review.expandOrCollapseDiffMenu.expand":"Laienda kõik erinevused","codex.review.fileSearch.clear":"Tühjenda failide filter","codex.review.fileSearch.empty":"Ükski fail ei vasta praegusele filtrile.","codex.review.fileSearch.label":"Failide filtreerimine","codex.review.fileSearch.placeholder":"Failide filtreerimine...","codex.review.filesChanged":"{num, plural, =0 {Faile ei muudetud} one {# fail muudetud} other {# faili muudetud}}","codex.review.find.loadMore":"Laadi veel vastavusi","codex.review.fullReview.hideFileTree":"Peida failipuu","codex.review.fullReview.showFileTree":"Kuva failipuu","codex.review.header.moreOptions":"Ülevaate valikud","codex.review.largeDiff.banner":"Leitud suur diff – kuvatakse üks fail korraga.","codex.review.loadFullFiles.disable":"Ära laadi täismahus faile","codex.review.loadFullFiles.enable":"Laadi täismahus faile","codex.review.noDiff":"Faili muudatused kuvatakse siin","codex.review.noDiff.gitInit.createRepository":"Loo giti varamu","codex.review.noDiff.gitInit.creating":"Loomine…","codex.review.noDiff.gitInit.error":"Giti käivitus nurjus: {message}","codex.review.noDiff.gitInit.success":"Giti varamu loodud","codex.review.noDiff.gitRepoRequired.description":"Jägi ja tühista selles projektis tehtavaid muudatusi","codex.review.noDiff.gitRepoRequired.title":"Loo giti varamu","codex.review.noDiff.orNoLongerAvailable":"või viimased erinevused ei ole enam saadaval","codex.review.noDiff.reverted":"Viimane käik on tagasi võetud","codex.review.noDiff.revertedOrCommitted":"Viimane käik on tagasi võetud või rakendatud","codex.review.refreshGitQueries":"Värskenda","codex.review.revert.file.error":"Tagasipööramine nurjus: {path}","codex.review.revert.file.partialSuccess":"Osaliselt tagasi pööratud: {path}","codex.review.revert.file.success":"Tagasi pööratud: {path}","codex.review.revert.hunk.error":"Koodilõigu {hunkNumber} tagasipööramine ({path}) nurjus","codex.review.revert.hunk.partialSuccess":"Koodilõik {hunkNumber} osaliselt tagasi pööratud ({path}) ","codex.review.revert.hunk.success":"Koodilõik {hunkNumber} tagasi pööratud ({path}) ","codex.review.revert.section.error":"Lõigu tagasipööramine nurjus","codex.review.revert.section.partialSuccess":"Lõik osaliselt tagasi pööratud","codex.review.revert.section.success":"Lõik tagasi pööratud","codex.review.revertDialog.cancel":"Tühista","codex.review.revertDialog.confirm":"Kinnita","codex.review.revertDialog.message":"Selle toiminguga eemaldatakse kõik need muudatused.","codex.review.revertDialog.skip":"Ära rohkem küsi","codex.review.revertDialog.title":"Kas tühistada muudatused?","codex.review.richPreview.disable":"Keela rikkalik eelvaade","codex.review.richPreview.enable":"Luba rikkalik eelvaade","codex.review.source.cloud":"Pilvemuudatused","codex.review.source.local.all":"Kõik harude muudatused","codex.review.source.local.lastTurn":"Viimase vahetuse muudatused","codex.review.source.local.uncommitted":"Rakendamata muudatused","codex.review.source.worktree":"Kehtestamata muudatused tööpuus","codex.review.stageFilter.empty.staged.description":"Aktsepteeri muudatused proovilaual kuvamiseks","codex.review.stageFilter.empty.staged.title":"Proovilaual kuvatud muudatusi pole","codex.review.stageFilter.empty.unstaged.description":"Koodi muudatused kuvatakse siin","codex.review.stageFilter.empty.unstaged.title":"Proovilaual kuvamata muudatusi pole","codex.review.stageFilter.staged":"Proovilaual","codex.review.stageFilter.staged.count":"Proovilaual · {count}","codex.review.stageFilter.unstaged":"Proovilaualt eemaldatud","codex.review.stageFilter.unstaged.count":"Proovilaualt eemaldatud · {count}","codex.review.switchToSplit":"Lülitu poolitatud diffile","codex.review.switchToUnified":"Lülitu unifitseeritud diff’ile","codex.review.toggleDiffView":"Diffi vaate valikud","codex.review.wordDiffs.disable":"Keela sõnalise tasandi diffid","codex.review.wordDiffs.enable":"Luba sõnalise tasandi diffid","codex.review.wrap.disable":"Keela reamurdmine","codex.review.wrap.enable":"Luba reamurdmine","codex.section.patch.missing":"Selle lõigule ei saanud paika koostada.","codex.shell.collapse":"Kahanda käsuprotsessor","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Kopeeritud käsuprotsessori sisu","codex.shell.copy.copyTooltip":"Kopeeri käsuprotsessori sisu","codex.shell.copyCommand":"Kopeeri käsklus","codex.shell.copyOutput":"Kopeeri väljund","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Laienda käsuprotsessorit","codex.shell.name":"Käsuprotsessor","codex.shell.noOutput":"Väljund puudub","codex.signInFailed.message":"Sisselogimine nurjus: {rawMessage}","codex.stories.toast.show":"Näita Toasti","codex.stories.tooltip.basic":"See on kohtspikker","codex.stories.tooltip.hoverMe":"Hõljuta mind","codex.stories.tooltip.largerOffset":"Sellel kohtspikril on suurem nihe","codex.stories.tooltip.offsetButton":"Suurem nihe","codex.stories.tooltip.shortcutButton":"Otseteega","codex.stories.tooltip.withShortcut":"Terminali valikud","codex.taskRow.title":"Uus lõim","codex.taskRowLayout.confirm":"Kinnita","codex.threadFindBar.chatFilter":"Otsi vestlusi","codex.threadFindBar.close":"Sulge otsing","codex.threadFindBar.diffFilter":"Otsi diffe","codex.threadFindBar.label":"Otsi lõimes","codex.threadFindBar.nextResult":"Järgmine vaste","codex.threadFindBar.noResults":"0 vastet","codex.threadFindBar.placeholder":"Otsi lõime...","codex.threadFindBar.placeholder.extension":"Otsi lõime...","codex.threadFindBar.placeholder.review":"Otsi diffi...","codex.threadFindBar.placeholder.review.extension":"Otsi diffi...","codex.threadFindBar.previousResult":"Eelmine vaste","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fail muudetud} other {# faili muudetud}}","codex.unifiedDiff.inlineLargeFile":"Liiga suur tekstisiseseks renderdamiseks","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Ennista","codex.unifiedDiff.revertPatchError":"Muudatuste ümber pööramine nurjus","codex.unifiedDiff.revertPatchSuccess":"Muudatused ümber pööratud","codex.unifiedDiff.reviewChangesSuffix":"muudatused","codex.unifiedDiff.reviewShort":"Vaata üle","codex.unifiedDiff.viewDiffTooltip":"Vaata üle","codex.upsellBanner.business.headline":"Et saada rohkem juurdepääsu kohe, saada taotlus oma administraatorile või oota kuni {resetDate}.","codex.upsellBanner.cbp.headline":"Et saada rohkem juurdepääsu nüüd, saada taotlus oma administraatorile.","codex.upsellBanner.cta.addCredits":"Lisa tiitrid","codex.upsellBanner.cta.upgradeAccount":"Täiusta","codex.upsellBanner.cta.viewUsage":"Vaata kasutust","codex.upsellBanner.freeOrGo.headline":"Sinu mahulimiit lähtestatakse {resetDate}. Et Codexit edasi kasutada, täiusta juba täna versioonile Plus.","codex.upsellBanner.general.headline":"Sinu mahulimiit lähtestatakse {resetDate}. ","codex.upsellBanner.general.title":"Sinu Codexi sõnumite maht on täis","codex.upsellBanner.plus.headline":"Sinu mahulimiit lähtestatakse {resetDate}. Et Codexit edasi kasutada, lisa krediiti või täiusta juba täna versioonile Pro.","codex.upsellBanner.pro.headline":"Sinu mahulimiit lähtestatakse {resetDate}. Et Codexit edasi kasutada, lisa krediiti.","codex.userMessage.autoResolveSync":"Konfliktide automaatmestimine","codex.userMessage.commentCount":"{count, plural, one {# kommentaari} other {# kommentaari}}","codex.userMessage.copiedAriaLabel":"Kopeeritud","codex.userMessage.copiedTooltip":"Kopeeritud","codex.userMessage.copyAriaLabel":"Kopeeri sõnum","codex.userMessage.copyTooltip":"Kopeeri","codex.userMessage.implementPlan":"Kasuta","codex.userMessage.noContent":"(Sisu puudub)","codex.userMessage.priorConversation":"Eelneva vestluse viited","codex.userMessage.reviewMode":"Ülevaaterežiim","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} jaoks","codex.webSearch.summary.verb.completed":"Otsiti veebist","codex.webSearch.summary.verb.inProgress":"Otsitakse veebist","codex.windowsInstallWslBanner.dismiss":"Hülga","codex.windowsInstallWslBanner.installWslCta":"Luba liivakast","codex.windowsInstallWslBanner.learnMore":"Lisateave","codex.windowsSandboxBanner.content":"Agendirežiim kasutab Windowsi eksperimentaalset liivakasti, et piirata failisüsteemile ja võrgule juurdepääsu. {sandboxLink}","codex.windowsSandboxBanner.title":"Luba agendirežiimis liivakast","codex.windowsSubDropdown.windowsSandbox":"Windowsi liivakast","codex.windowsSubDropdown.windowsSettings":"Windowsi seaded","codexUpgradeModal.body":"Codexit käivitab nüüd GPT-5.2-Codex, meie uusim agentne koodiloomemudel. Koodiloomes on see {link}; veelgi osavam kui GPT-5.2.","codexUpgradeModal.close":"Sulge","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"nutikam ja kiirem","codexUpgradeModal.title":"Codex sai just täiustuse","codexUpgradeModal.tryNewModel":"Proovi GPT-5.2-Codexit","codexUpgradeModal.useExistingModel":"Jätka praeguse mudeliga","commentAttachments.numComments":"{count, plural, one {# kommentaari} other {# kommentaari}}","commentAttachments.removeAriaLabel":"Eemalda kommentaaride manus","common.close":"Sulge","composer.addContext.openFilePickerError":"Failide valijat ei saanud avada","composer.addContextDropdown.ariaLabel":"Failide lisamine ja muud","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Failide lisamine ja muud","composer.addPhotosAndFiles":"Lisa fotosid ja faile","composer.atMentionList.emptyQuery":"Tipi failide otsimiseks","composer.atMentionList.loading":"Otsimine…","composer.atMentionList.noResults":"Tulemusi pole","composer.attemptsSelector.option":"{count, plural, one {# versioon} other {# versiooni}}","composer.attemptsSelector.tooltip":"Paralleelsete katsete arv, mida Codex peab tegema","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Peata","composer.cloudFollowUp.cloud":"Pilv","composer.cloudFollowUp.local":"Kohalik","composer.cloudFollowUp.whereRun":"Kus peaks see jätkuprogramm töötama?","composer.cloudTaskCreationError":"Pilve ülesande loomisel esines viga","composer.cloudTaskError":"Viga ülesande loomisel","composer.contextWindow.autoCompactionTooltipLine1":"Codex tihendab oma sisu automaatselt","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Konteksti aken:","composer.contextWindowUsageStatusFull":"{usage}% täis","composer.contextWindowUsageStatusLeft":"{usage}% kasutatud ({remaining}% alles)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokenit kasutatud","composer.customCliTooltip":"Kasutab kohandatud CLI käivitatavat faili","composer.dictation.aria":"Dikteeri","composer.dictation.cancel.aria":"Lõpeta dikteerimine","composer.dictation.cancel.tooltip":"Lõpeta dikteerimine","composer.dictation.startError":"Dikteerimist ei saanud alustada","composer.dictation.submit.aria":"Tee üleskirjutus ja saada","composer.dictation.submit.tooltip":"Tee üleskirjutus ja saada","composer.dictation.tooltip":"Dikteerimiseks hoia all","composer.dictation.transcribeError":"Heli üleskirjutust ei saanud teostada","composer.dictation.unsupported":"Dikteerimine ei ole selles seadmes saadaval","composer.dropOverlay.holdShift":"Hoia kukutamiseks all nuppu {key}","composer.dropOverlay.shiftKey":"Tõstuklahv","composer.environmentSelector.createNew":"Loo uus","composer.environmentSelector.error":"Viga keskkondade laadimisel","composer.environmentSelector.goBack":"Tagasi komposerisse","composer.environmentSelector.title":"Vali keskkond","composer.environmentSelector.tooltip":"Vali pilvekeskkond","composer.feedbackSlashCommand.title":"Tagasiside","composer.filePicker.selectFile":"Vali fail","composer.filePicker.selectFiles":"Vali failid","composer.followerTooltip":"Jätkamiseks liigu tagasi aknasse, kus see vestlus algas.","composer.footer.branchSwitch.checkoutError":"Haru vahetamine nurjus: {message}","composer.footer.branchSwitch.createAndCheckout":"Loo ja vormista uus haru...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Uue haru loomiseks ja vormistamiseks kehtesta muudatused","composer.footer.branchSwitch.createBranchError":"Haru loomine nurjus: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Haru nimi","composer.footer.branchSwitch.createDialog.branchExistsError":"Haru on juba olemas","composer.footer.branchSwitch.createDialog.close":"Sulge","composer.footer.branchSwitch.createDialog.createAndCheckout":"Loo ja vormista","composer.footer.branchSwitch.createDialog.placeholder":"uus-haru","composer.footer.branchSwitch.createDialog.title":"Loo ja vormista haru","composer.footer.branchSwitch.createDialog.trailingSlashError":"Haru nimi ei saa lõppeda sümboliga /","composer.footer.branchSwitch.tooltip":"Vaheta haru","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Kehtesta muudatused ({fileCount, plural, one {# fail} other {# faili}}), et vormistada {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"muudatused ({fileCount, plural, one {# fail} other {# faili}}), et vormistada {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Tühista","composer.footer.branchSwitch.uncommittedDialog.commit":"Kehtesta ja vaheta haru...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Sinu muudatused järgmistes failides kirjutatakse vormistamisel üle:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Jätkamiseks kehtesta oma muudatused","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"valitud haru","composer.footer.branchSwitch.uncommittedDialog.title":"Haru vahetamiseks kehtesta muudatused","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Kehtestamata: {fileCount, plural, one {# fail} other {# faili}}","composer.forkSlashCommand.description":"Hargi see lõim kohalikku töökoopiasse või uude tööpuusse","composer.forkSlashCommand.option.local.description":"Jätka uues kohalikus lõimes","composer.forkSlashCommand.option.local.title":"Hargi kohalikku töökoopiasse","composer.forkSlashCommand.option.worktree.description":"Jätka uues tööpuus","composer.forkSlashCommand.option.worktree.title":"Hargi uude tööpuusse","composer.forkSlashCommand.title":"Kopeeri","composer.imageInputsUnsupported":"See mudel ei toeta piltsisendit. Proovi teist mudelit.","composer.imageUploadFailed":"Pildi üles laadimine nurjus","composer.includeIdeContextDropdown":"Kaasa IDE kontekst","composer.includeIdeContextDropdown.ariaLabel":"Kaasa IDE kontekst","composer.localCwdDropdown.addWorkspaceRoot":"Lisa uus projekt","composer.localCwdDropdown.noActiveRoot":"Vali oma projekt","composer.localCwdDropdown.noResults":"Kaustasid ei leitud","composer.localCwdDropdown.title":"Vali oma projekt","composer.localTaskError":"Viga vestluse alustamisel","composer.mcpSlashCommand.description":"Kuva MCP-serveri olek","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Autentimata","composer.mcpStatus.authOauth":"Autenditud (OAuth)","composer.mcpStatus.authToken":"Autenditud (API võti)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Sulge","composer.mcpStatus.disabled":"Keelatud","composer.mcpStatus.emptyLabel":"Serverid:","composer.mcpStatus.emptyValue":"MCP-servereid ei ole konfigureeritud","composer.mcpStatus.enabled":"Lubatud","composer.mcpStatus.errorLabel":"Olek:","composer.mcpStatus.errorValue":"MCP olekut ei saanud laadida","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Lülitusrežiim","composer.mode.agentMode.custom":"Kohandatud","composer.mode.agentMode.custom.dropdownLabel":"Kohandatud","composer.mode.agentMode.custom.option":"Kohandatud (config.toml)","composer.mode.agentMode.custom.optionLabel":"Kohandatud (config.toml)","composer.mode.agentMode.customInfo.cancel":"Tühista","composer.mode.agentMode.customInfo.cli":"Saad kohandada neid seadeid CLIst või redigeerides faili otse.","composer.mode.agentMode.customInfo.confirm":"Kasuta kohandatud režiimi","composer.mode.agentMode.customInfo.description":"Kohandatud režiimi rakendatakse aktsepteerimise ja sandboxi põhimõtetele, mis on määratletud sinu <link>config.toml</link> failis.","composer.mode.agentMode.customInfo.docs":"Lisateavet konfiguratsioonide aktsepteerimise ja sandboxi põhimõtete kohta leiad <link>nendest dokumentidest</link>.","composer.mode.agentMode.customInfo.refresh":"Mis tahes muudatused rakendatakse järgmisel korral, kui agent käivitatakse.","composer.mode.agentMode.customInfo.title":"Kuidas kohandatud režiim toimib","composer.mode.agentMode.fullAccess":"Agent (täielik juurdepääs)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (täielik juurdepääs)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (täielik juurdepääs)","composer.mode.agentMode.fullAccessConfirm.caution":"Ole täieliku juurdepääsu aktiveerimisel ettevaatlik. See vähendab oluliselt andmete kadumise, lekete või ootamatu käitumise riski.","composer.mode.agentMode.fullAccessConfirm.confirm":"Jah, jätka siiski","composer.mode.agentMode.fullAccessConfirm.description":"Kui Codex töötab täieliku juurdepääsuga, saab see redigeerida mis tahes faili sinu arvutis ja rakendada käsklusi võrgus, ilma sinu nõusolekuta.","composer.mode.agentMode.fullAccessConfirm.goBack":"Tühista","composer.mode.agentMode.fullAccessConfirm.title":"Aktiveeri täielik juurdepääs?","composer.mode.agentMode.readOnly":"Vestlus","composer.mode.agentMode.readOnly.dropdownLabel":"Vestlus","composer.mode.agentMode.readOnly.optionLabel":"Vestlus","composer.mode.agentMode.tooltip":"Lülitusrežiim","composer.mode.agentMode.tooltip.auto":"Loeb ja redigeerib faile ja täidab käsklusi.","composer.mode.agentMode.tooltip.custom":"Kasuta kõige hiljutisemat nõusolekut ja sandboxi poliitikaid, mis on määratud config.toml failis.","composer.mode.agentMode.tooltip.fullAccess":"Codex saab redigeerida faile sellest projektist väljaspool ja käivitada käsklusi võrgu juurdepääsuga. Ole selle kasutamisel ettevaatlik.","composer.mode.agentMode.tooltip.readOnly":"Vajab failide redigeerimiseks ja käskluste täitmiseks nõusolekut.","composer.mode.cloud.tooltip":"Tööta pilvekeskkonnas","composer.mode.contactAdmin":"Suurema juurdepääsu saamiseks võta ühendust oma administraatoriga","composer.mode.local":"Kohalik","composer.mode.local.learnMore":"Lisateave","composer.mode.local.model.custom":"Kohandatud","composer.mode.local.model.loadingModel":"Mudeli laadimine","composer.mode.local.model.selecrReasoningEffort":"Vali arutlemine","composer.mode.local.model.selectModel":"Vali mudel","composer.mode.local.model.tooltip":"Vali mudel","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Kõrge","composer.mode.local.reasoning.low.label":"Madal","composer.mode.local.reasoning.medium.label":"Keskmine","composer.mode.local.reasoning.minimal.label":"Minimaalne","composer.mode.local.reasoning.none.label":"Puudub","composer.mode.local.reasoning.xhigh.label":"Eriti suur","composer.mode.localRemoteWhereRun":"Vali, kus ülesanne käivitada","composer.mode.newTask.header":"Jätka režiimis","composer.mode.rateLimit.day":"{days} p","composer.mode.rateLimit.heading":"Hinnangute piirangut jäänud","composer.mode.rateLimit.hour":"{hours}t","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} limiit:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {iganädalane piirang} other {{weeks}-nädalane piirang}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Iga nädal} other {{weeks} nädalat}}","composer.mode.remote.connectToCloud":"Ühenda Codexi veeb","composer.mode.remote.connectToCloudDisabledTooltip":"Seadista keskkond Codexi veebi abil, et aktiveerida ülesannete saatmine pilve","composer.mode.remote.selectEnvironment":"Vali keskkond","composer.mode.remote.sendToCloud":"Saada pilve","composer.mode.remote.setupViaWeb":"Seadista keskkond Codex veebi abil","composer.mode.runInCloud":"Pilv","composer.mode.runInCloudWithEnvironment":"Pilv · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Tööta pilvekeskkonnas","composer.mode.segmentedToggle.local.tooltip":"Tööta kohalikus projektis","composer.mode.segmentedToggle.worktree.tooltip":"Tööta paralleelses tööpuus","composer.mode.upgradeToPlus":"Täiusta versioonile Plus","composer.mode.upgradeToPro":"Täiusta versioonile Pro","composer.mode.workLocally":"Kohalik projekt","composer.mode.workLocally.currentBranchFallback":"sinu haru","composer.mode.workLocally.tooltip":"Tööta siin: {branchName}","composer.mode.worktree":"Uus tööpuu","composer.mode.worktree.submoduleWarning":"Sellel varamul on giti alammoodulid. Tööpuu loomine võib nurjuda.","composer.mode.worktree.tooltip":"Paralleeltööks tee oma kohalikust projektist koopia","composer.mode.worktreeSegment":"Tööpuu","composer.modelChangeDuringConversationWarning.toast":"Mudelite vahetamine keset vestlust halvendab jõudlust. ","composer.newChat.heading.browser":"Mida me peaksime järgmiseks kodeerima?","composer.permissionsDropdown.custom.label":"Kohandatud (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Kohandatud (config.toml)","composer.permissionsDropdown.default.label":"Vaikeload","composer.permissionsDropdown.default.optionLabel":"Vaikeload","composer.permissionsDropdown.fullAccess.disabled":"Täielik juurdepääs on keelatud: requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Muuda lube","composer.personalitySlashCommand.description.friendly":"Soe, koostööpõhine, abivalmis","composer.personalitySlashCommand.description.pragmatic":"Kokkuvõtlik, ülesandekeskne, otsekohene","composer.personalitySlashCommand.label.friendly":"Sõbralik","composer.personalitySlashCommand.label.pragmatic":"Pragmaatiline","composer.personalitySlashCommand.notApplicableSuffix":"(Ei toimi praeguses mudelis)","composer.personalitySlashCommand.title":"Isikupära","composer.placeholder.cloudFollowUp.directFollowUp":"Järg sellele pilveülesandele","composer.placeholder.cloudFollowUp.local":"Loo uus kohalik ülesanne, mis viitab sellele pilveülesandele","composer.placeholder.cloudFollowUp.workingTree":"Loo uus pilveülesanne, mis sisaldab sinu praegust koodi ja viitab sellele ülesandele","composer.placeholder.localFollowUp.cloud":"Loo järg uue pilveülesandena","composer.placeholder.localFollowUp.locally":"Küsi järjele muudatusi","composer.placeholder.newTask.cloud":"Palu Codexil teha pilves mida iganes","composer.placeholder.newTask.doAnything":"Palu Codexil teha mida iganes","composer.placeholder.newTask.locally":"Palu Codexil teha mida vaja, @ failide lisamiseks, / käsklusteks","composer.planModeDropdown":"Planeerimisrežiim","composer.planModeDropdown.ariaLabel":"Planeerimisrežiim","composer.planModeIndicator":"Plaan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Lülita planeerimisrežiim välja","composer.planSlashCommand.enableDescription":"Lülita planeerimisrežiim sisse","composer.planSlashCommand.title":"Planeerimisrežiim","composer.priorContext.label":"Varasem kontekst","composer.priorContext.removeAriaLabel":"Eemalda varasem kontekst","composer.queuedMessage.delete":"Kustuta järjekorras sõnum","composer.queuedMessage.edit":"Redigeeri sõnumit","composer.queuedMessage.more":"Järjekorras olevate sõnumite toimingud","composer.queuedMessage.sendNow":"Saada kohe","composer.queuedMessage.turnOff":"Lülita järjekorrastamine välja","composer.reasoningEffort.local.reasoning.tooltip":"Vali arutlemise pingutus","composer.remote.branchStartingPoint":"Millisest harust peaks see ülesanne alustama?","composer.remote.branchesSectionHeading":"Harud","composer.remote.currentEditsSuffix.followUp":"Loo uus ülesanne, mis viitab sellele pilve ülesandele.","composer.remote.currentEditsSuffix.useLocal":"kohaliku koodi muudatustega","composer.remote.directFollowUp":"Ära kasuta kohalikke muudatusi","composer.remote.errorLoadingBranches":"Viga harude laadimisel","composer.remote.fromBranch":"Alates {branch}","composer.remote.fromCurrentBranch":"Alates {branch} (praegune)","composer.remote.loadingMoreBranches":"Laadimine ...","composer.remote.localFileStateHeading":"Kohaliku faili olek","composer.remote.localWorkingTree":"Kasuta kohalikke muudatusi","composer.remote.startingPoint":"Millisest koodist peaks see ülesanne alustama?","composer.reviewMode.branches.error":"Harude laadimine ei õnnestunud","composer.reviewMode.branches.retry":"Proovi uuesti","composer.reviewMode.gitRoot.error":"Giti juurt ei leitud","composer.reviewMode.option.baseBranch.simple":"Vaata üle võrreldes alusharuga","composer.reviewMode.option.unstaged.simple":"Vaata üle rakendamata muudatused","composer.reviewMode.quickReviewError":"Koodi ülevaatamise käivitamine nurjus","composer.reviewMode.title":"Koodi eelvaade","composer.sandboxButton.unlock.disabled.tooltip":"Täielik juurdepääs on keelatud: requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex võib kasutada Windowsi eksperimentaalset liivakasti, et piirata failisüsteemile ja võrgule juurdepääsu. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Kas lubada Windowsi liivakast?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Kasuta ainult lugemisrežiimi","composer.searchEnvironments":"Otsi keskkondi","composer.skillMentionList.app":"Rakendus","composer.skillMentionList.loading":"Oskuste laadimine...","composer.skillMentionList.noResults":"Oskusi ei leitud","composer.slashCommands.cloudEnvironment.title":"Pilve keskkond","composer.slashCommands.dialogLabel":"Slash-käskluse menüü","composer.slashCommands.dialogTitle":"Slash-käsklused","composer.slashCommands.disabledTooltip":"Alusta slash-käskluste kasutamiseks uut vestlust","composer.slashCommands.inputPlaceholder":"Otsi","composer.slashCommands.noResults":"Käsklusi pole","composer.slashCommands.skillsGroup":"Oskused","composer.slashCommands.tooltip":"Sirvi slash-käsklusi","composer.status.close":"Sulge","composer.statusPlain.alertLabel":"Hoiatus:","composer.statusPlain.alertValue":"{remaining}% jäänud ({window})","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} kasutatud / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% jäänud","composer.statusPlain.heading":"Olek","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limiit:","composer.statusPlain.rateLimitDays":"{count}p limiit","composer.statusPlain.rateLimitFallbackLabel":"Kasutuslimiit:","composer.statusPlain.rateLimitHours":"{count}t limiit","composer.statusPlain.rateLimitLabelBase":"Kasutuslimiit","composer.statusPlain.rateLimitMinutes":"{count}m limiit","composer.statusPlain.rateLimitPercent":"{remaining}% jäänud","composer.statusPlain.rateLimitReset":"lähtestub {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"lähtestumise aeg pole saadaval","composer.statusPlain.rateLimitUnavailable":"Ei ole saadaval","composer.statusPlain.sessionCopiedAriaLabel":"Kopeeriti seansi ID","composer.statusPlain.sessionCopiedTooltip":"ID kopeeritud","composer.statusPlain.sessionCopyAriaLabel":"Kopeeri seansi ID","composer.statusPlain.sessionCopyTooltip":"Kopeeri ID","composer.statusPlain.sessionLabel":"Seanss:","composer.statusSlashCommand.description":"Kuva lõime ID, kontekstikasutus ja kasutuslimiidid","composer.statusSlashCommand.title":"Olek","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Sõnumit ei saanud saata","composer.submit.emptyMessage":"Alustamiseks sisesta sõnum","composer.submit.imageInputsUnsupported":"Selle sõnumi saatmiseks eemalda pildid või vaheta mudelit.","composer.submit.loadingLocalConfig":"Laadimine ...","composer.submit.missingCloudConfig":"Pead valima pilve keskkonna","composer.submit.missingCloudTurn":"Sellel ülesandel ei saa järeltoiminguid teha","composer.submit.noWorkspace":"Codexi kasutamiseks lisa projekt","composer.submit.waitForImageUploads":"Piltide üleslaadimine...","composer.submitButtonTooltip.send":"Saada","composer.submitButtonTooltip.stop":"Peata","composer.worktreeEnvironment.create":"Loo kohalik keskkond","composer.worktreeEnvironment.default":"Vaikekeskkond","composer.worktreeEnvironment.error":"Viga keskkondade laadimisel","composer.worktreeEnvironment.loading":"Keskkondade laadimine...","composer.worktreeEnvironment.title":"Kohalik keskkond","composer.worktreeEnvironment.tooltip":"Vali kohalik keskkond","composer.worktreeSetupFailed":"Tööpuu seadistamine nurjus. Seadistusskripti kontrollimine: .codex/environments.","compoundButton.secondaryAction":"Teisene tegevus","copyButton.copied":"Kopeeritud","copyButton.copiedAriaLabel":"Kopeeritud","copyButton.copy":"Kopeeri","copyButton.copyAriaLabel":"Kopeeri","copyButton.copyCode":"Kopeeri kood","diff.actionButton.revertFile":"Pööra tagasi fail","diff.actionButton.revertHunk":"Pööra ümber","diff.actionButton.revertSection":"Pööra tagasi kõik","diff.actionButton.revertSectionLabel":"Pööra tagasi kõik","diff.actionButton.stageFile":"Pane fail proovilauale","diff.actionButton.stageHunk":"Kuva proovilaual","diff.actionButton.stageSection":"Pane kõik proovilauale","diff.actionButton.stageSectionLabel":"Pane kõik proovilauale","diff.actionButton.unstageFile":"Eemalda fail proovilaualt","diff.actionButton.unstageHunk":"Eemalda proovilaualt","diff.actionButton.unstageSection":"Eemalda kõik proovilaualt","diff.actionButton.unstageSectionLabel":"Eemalda kõik proovilaualt","diff.fileHeader.toggle":"Faili diffi lüliti","electron.onboarding.login.apikey.cancel":"Tühista","electron.onboarding.login.apikey.continue":"Jätka","electron.onboarding.login.apikey.label":"OpenAI API-võti","electron.onboarding.login.apikey.open":"Sisesta API-võti","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Tühista sisselogimine","electron.onboarding.login.chatgpt.continue":"Jätka ChatGPT-ga","electron.onboarding.login.devbox":"Ühenda kaug-SSH","electron.onboarding.login.error":"Sisselogimine nurjus: {rawMessage}","electron.onboarding.login.snake.start":"Mängi ussimängu","electron.onboarding.login.sshConfig.cancel":"Tühista","electron.onboarding.login.sshConfig.continue":"Jätka","electron.onboarding.login.sshConfig.hostnameLabel":"SSH hosti nimi","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Parim tööks agentide abiga ","electron.onboarding.login.title":"Tere tulemast Codexisse","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Jätka","electron.onboarding.welcome.doubleLimits.description":"Codexi rakenduse väljalaske tähistamiseks kahekordistasime sinu mahulimiite 2. aprillini.","electron.onboarding.welcome.freego.description":"Codex on sinu tellimuses tasuta saadaval 2. märtsini – hakkame koos ehitama.","electron.onboarding.welcome.new.title.anon":"Tere tulemast!","electron.onboarding.workspace.continue":"Jätka","electron.onboarding.workspace.empty":"Jätkamiseks lisa projekt.","electron.onboarding.workspace.listLabel":"Saadaval projektid","electron.onboarding.workspace.loading":"Projektide laadimine...","electron.onboarding.workspace.openFolder":"Lisa projekt","electron.onboarding.workspace.selectAll":"Vali kõik","electron.onboarding.workspace.skip":"Jäta vahele","electron.onboarding.workspace.skip.error":"Uut projekti ei saanud luua: {message}","electron.onboarding.workspace.skip.error.unknown":"Tundmatu viga","electron.onboarding.workspace.skipping":"Uue projekti loomine...","electron.onboarding.workspace.subtitle":"Codex saab valitud kaustades faile muuta ja käsklusi käivitada.","electron.onboarding.workspace.title":"Vali projekt","errorPage.list.checkSettings":"Proovi värskendada oma IDE-seadeid","errorPage.list.configToml":"Kontrolli config.toml failis kehtetuid seadeid","errorPage.list.downloadExtension":"Proovi laadida alla laienduse teine versioon","errorPage.list.runInWsl":"Kontrolli oma seadeid, et inaktiveerida töötamine WSL-is, kui otsid ühilduvusprobleeme","execApprovalRequest.menu.runAlways":"Jah, ja ära enam selle seansi vältel küsi","execApprovalRequest.menu.runAlwaysWithAmendment":"Jah, ja ära enam küsi käskluste puhul, mis algavad sellega: {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Jah, ja ära enam küsi käskluste puhul, mis algavad sellega: ","execApprovalRequest.menu.runOnce":"Jah","execApprovalRequest.prompt":"Kas soovid selle käskluse käivitada?","execApprovalRequest.reject":"Ei","execFooter.exitCode":"Välju koodist {code}","execFooter.exitCode.unknown":"teadmata","execFooter.success":"Õnnestus","feedback.dialog.category.badResult":"Halb tulemus","feedback.dialog.category.bug":"Viga","feedback.dialog.category.goodResult":"Hea tulemus","feedback.dialog.category.other":"Muu","feedback.dialog.descriptionPlaceholder":"Kirjelda probleemi siin","feedback.dialog.dismiss":"Hülga","feedback.dialog.includeLogsLabel":"Lisa praeguse Codexi seansi logid","feedback.dialog.submit":"Esita","feedback.dialog.submitError":"Me ei saanud sinu tagasisidet lisada. Proovi mõne aja pärast uuesti.","feedback.dialog.title":"Tagasiside","feedback.dialog.uploadedMessage.existingIssue":"olemasolev lahendamata probleem","feedback.dialog.uploadedMessage.openIssue":"ava uus GitHubi probleem","feedback.dialog.uploadedMessage.withThread":"Tagasiside on üles laaditud. Probleemi püsimisel {openIssueLink} või maini lõime ID-d teemas {existingIssueLink}:","feedback.dialog.uploadedTitle":"Tagasiside on üles laaditud.","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Eemalda {filename}","header.back":"Tagasi","header.recentChats":"Ülesanded","header.recentTasks.seeAll":"Vaata kõiki ({total})","home.header.getPlus":"Hankige Plus plaan","home.hero.letsBuild":"Hakkame ehitama","homePage.mainContent":"Põhisisu","imageAttachment.defaultName":"pilt","imageAttachment.preview.close":"Sulge pildi eelvaade","imageAttachment.removeAriaLabel":"Eemalda {filename}","implementPlanRequest.option.implement":"Jah, kasuta seda plaani","implementPlanRequest.prompt":"Kas kasutada seda plaani?","inbox.archived.deleteError":"Arhiivitud käivitust ei saanud kustutada","inbox.archived.deleteRun":"Kustuta arhiivitud käivitus","inbox.archived.deleteSuccess":"Arhiivitud lõim kustutatud. Vaata <settingsLink>arhiivitud lõimedes</settingsLink>.","inbox.archived.inlineLabel.auto":"Lõim arhiiviti automaatselt. <learnMoreLink>Lisateave</learnMoreLink>","inbox.archived.inlineLabel.manual":"Lõim arhiiviti.","inbox.archived.noMessageFound":"Sõnumeid ei leitud","inbox.automations.createError":"Automatiseerimisülesannet ei saanud luua","inbox.automations.deleteConfirm.cancel":"Tühista","inbox.automations.deleteConfirm.confirm":"Kustuta automatiseerimisülesanne","inbox.automations.deleteConfirm.description":"Sellega kustutatakse automatiseerimisülesanne jäädavalt ja lõpetatakse edasised käivitused.","inbox.automations.deleteConfirm.title":"Kas kustutada {name}?","inbox.automations.deleteError":"Automatiseerimisülesannet ei saanud kustutada","inbox.automations.editTooltip":"Muuda automatiseerimisülesannet","inbox.automations.inProgress":"Pooleli","inbox.automations.new":"Uus","inbox.automations.newToolbar":"Uus automatiseerimisülesanne","inbox.automations.pauseTooltip":"Peata automatiseerimisülesanne","inbox.automations.resumeTooltip":"Jätka automatiseerimisülesannet","inbox.automations.startingNow":"Algab kohe","inbox.automations.startsIn":"Alustamiseni {startTime}","inbox.automations.status.active":"Aktiivne","inbox.automations.status.paused":"Peatatud","inbox.automations.status.runs":"{count} käivitust","inbox.automations.status.started":"Alustatud {date}","inbox.automations.updateError":"Automatiseerimisülesannet ei saanud värskendada","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Kõik","inbox.filter.ariaLabel":"Filtreeri saabunud sõnumeid","inbox.filter.unread":"Lugemata","inbox.list.archived":"Arhiivitud","inbox.list.inProgress":"Pooleli","inbox.list.recent":"Lõpetatud","inbox.list.upNext":"Kavandatud","inbox.mode.automations":"Automatiseeringud","inbox.mode.automations.beta":"Beeta","inbox.noDescription":"Kirjeldus puudub","inbox.openThread":"Ava lõim","inbox.rightPanel.emptySubtitle":"Loo plaanilised ülesanded töö automatiseerimiseks","inbox.rightPanel.emptySubtitle.learnMore":"Loo plaanilised lõimed töö automatiseerimiseks. <link>Lisateave</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktiivne automatiseerimisülesanne} other {# aktiivset automatiseerimisülesannet}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Lugemata automatiseerimisülesandeid pole","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# lugemata automatiseerimisülesanne} other {# lugemata automatiseerimisülesannet}} ","inbox.rightPanel.emptyTitle":"Midagi pole valitud","inbox.rightPanel.noThread":"Selle üksusega ei seostu ühtki lõime","inbox.rightPanel.quickStart.header":"Alusta malliga","inbox.untitled":"Nimetu ükssus saabunud sõnumites","loadingPage.documentationLink":"dokumentatsioon","loadingPage.errorDescription":"Codex sulgus ootamatult järgmise veaga:","loadingPage.errorDescription.documentation":"Klõpsa taaslaadimise nupul, et käivitada Codexi laiendus, või vaata täiendava abi saamiseks siia: {documentationLink}.","loadingPage.errorSignal":"Mõned asjad, mida proovida:","loadingPage.errorTitle":"Ilmnes tõrge","loadingPage.openConfigToml":"Ava config.toml fail","loadingPage.reload":"Laadi uuesti","localConversation.contextCompacted":"Kontekst tihendatud automaatselt","localConversation.contextCompacting":"Konteksti automaatne tihendamine","localConversation.forkedFromConversation":"Hargitud siit: {threadTitle}","localConversation.merge.autoResolve.failed":"Autoresolvi taotlemine nurjus: {error}","localConversation.merge.autoResolve.sent":"Autoresolvi taotlus saadetud","localConversation.merge.autoResolveMerge.missingConversation":"Autoresolvi ei saa teha ilma aktiivse vestluseta.","localConversation.merge.autoResolveMerge.request":"Mestekonfliktide autoresolver","localConversation.modelChanged":"Mudel {fromModel} vahetati mudeli {toModel} vastu.","localConversation.modelChanged.warning.line1":"Mudelite vahetamine keset vestlust halvendab jõudlust. ","localConversation.modelChanged.warning.line2":"Konteksti võidakse automaatselt tihendada","localConversation.moveThread.createBranch.label":"Loo haru","localConversation.moveToLocal.disabled.loading":"Laadimine ...","localConversation.moveToLocal.modal.continue":"Jätka","localConversation.moveToLocal.modal.destinationLabel":"Liiguta siia:","localConversation.moveToLocal.modal.retry":"Proovi uuesti","localConversation.moveToWorktree.modal.back":"Tagasi","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Haru on juba olemas","localConversation.moveToWorktree.modal.branchesError":"Harude laadimine ei õnnestunud","localConversation.moveToWorktree.modal.branchesLoading":"Harude laadimine...","localConversation.moveToWorktree.modal.branchesRetry":"Proovi uuesti","localConversation.moveToWorktree.modal.continue":"Jätka","localConversation.moveToWorktree.modal.retry":"Proovi uuesti","localConversation.moveToWorktree.modal.trailingSlashError":"Haru nimi ei saa lõppeda sümboliga /","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"uus-haru","localConversation.personalityChanged":"Lülitatud isikupärale {personality}","localConversation.planSummary.collapse":"Kitsenda plaani kokkuvõte","localConversation.planSummary.collapseTooltip":"Kitsenda","localConversation.planSummary.download":"Laadi plaan alla","localConversation.planSummary.expand":"Laienda plaani kokkuvõte","localConversation.planSummary.expandTooltip":"Laienda","localConversation.planSummary.openInNewWindow":"Ava","localConversation.planSummary.openInNewWindow.tooltip":"Ava uues aknas","localConversation.planSummary.title":"Plaan","localConversation.planSummary.titleWriting":"Plaani kirjutatakse","localConversation.planSummary.viewPlan":"Laienda plaani","localConversation.remoteTaskCreated":"Loodud {taskLink} Codexi pilves","localConversation.remoteTaskCreated.task":"ülesanne","localConversation.scrollToBottomButton":"Keri alla","localConversation.sync.buttonLabel":"Anna üle kohalikku keskkonda","localConversation.sync.buttonLabel.tooltip":"Edasta muudatused selle tööpuu ja sinu kohaliku töökoopia vahel.","localConversation.sync.modal.loading.title":"Muudatuste üleandmine...","localConversation.sync.modal.noChanges":"Muudatusi pole","localConversation.syncSetup.branchAriaLabel":"Haru nimi","localConversation.syncSetup.branchName":"Haru nimi","localConversation.syncSetup.branchPlaceholder.existing":"Vali olemasolev haru","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Harude laadimine...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Juba vormistatud","localConversation.syncSetup.checkoutClean":"Praegu siin: {branchName}","localConversation.syncSetup.checkoutDirty":"Praegu siin: {branchName}. Kehtestamata muudatustega","localConversation.syncSetup.checkoutError":"Haru vormistamine nurjus: {message}","localConversation.syncSetup.checkoutLabel":"Vormista kohalikus keskkonnas kohe","localConversation.syncSetup.checkoutOnLocal":"Anna üle kohalikku keskkonda","localConversation.syncSetup.checkoutPending":"Kohaliku oleku kontrollimine...","localConversation.syncSetup.checkoutUnavailable":"Kohalik tööjaam pole saadaval","localConversation.syncSetup.checkoutUnknown":"Kohalik haru pole saadaval","localConversation.syncSetup.continue":"Jätka","localConversation.syncSetup.createBranchError":"Üleandmise haru seadistus nurjus: {message}","localConversation.syncSetup.error":"Midagi läks valesti: {message}","localConversation.syncSetup.error.workingTreeMissing":"Tööpuu hetktõmmis nurjus. Proovi uuesti üle anda.","localConversation.syncSetup.mode.ariaLabel":"Vali haru režiim","localConversation.syncSetup.mode.existing":"Olemasolev haru","localConversation.syncSetup.mode.new":"Uus haru","localConversation.syncSetup.noBranches":"harusid ei leitud","localConversation.syncSetup.overwriteError":"Haru on loodud, aga täielikult üle andmata. Anna käsitsi üle enne kohalikus keskkonnas vormistamist.","localConversation.syncSetup.setPrefix":"Seadista prefiks","localConversation.syncSetup.subtitle":"Tööpuu muudatuste testimine ja redigeerimine kohalikus keskkonnas. <a>Lisateave</a>","localConversation.syncSetup.success.checkedOut":"Haru on loodud ja vormistatakse kohalikus keskkonnas","localConversation.syncSetup.success.notCheckedOut":"Haru on loodud","localConversation.syncSetup.title":"Anna üle kohalikku harusse","localConversation.syncWorktreeError.branchAriaLabel":"Haru nimi","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Vali haru, kuhu üle anda, seejärel proovi uuesti muudatusi laadida.","localConversation.syncWorktreeError.branchSetup.title":"Värskenda haru","localConversation.syncWorktreeError.branchUpdate.cta":"Värskenda ja proovi uuesti","localConversation.syncWorktreeError.branchUpdate.error":"Haru värskendamine nurjus: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Midagi läks valesti: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Haru ei ole üheski tööpuus vormistatud","localConversation.syncWorktreeV2.applyUncommitted":"Kohalda","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Kehtestamata muudatuste rakendamiseks tuleb haru vormistada kohalikus keskkonnas","localConversation.syncWorktreeV2.branches.empty":"harusid ei leitud","localConversation.syncWorktreeV2.branches.loading":"Harude laadimine...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Muuda üleandmise haru","localConversation.syncWorktreeV2.changeBranch.error":"Üleandmise haru muutmine nurjus: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Rakendamine nurjus","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Tööpuu ülekirjutus nurjus","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Kohalik ülekirjutus nurjus","localConversation.syncWorktreeV2.commandError.back":"Tagasi","localConversation.syncWorktreeV2.commandError.body":"Giti käsklus nurjus üleandmisel. Vaata väljund üle ja proovi uuesti.","localConversation.syncWorktreeV2.commandError.retry":"Proovi uuesti","localConversation.syncWorktreeV2.description":"Muudatuste üleandmine kohaliku ja selle tööpuu vahel <a>Lisateave</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Vali üleandmise suund","localConversation.syncWorktreeV2.error.generic":"Midagi läks üleandmisel valesti. Proovi uuesti.","localConversation.syncWorktreeV2.localBranchLabel":"Kohalik","localConversation.syncWorktreeV2.noChanges":"Muudatuste kaalumine","localConversation.syncWorktreeV2.noChanges.summary":"Muudatusi pole","localConversation.syncWorktreeV2.overwrite.local":"Kohalik ülekirjutus","localConversation.syncWorktreeV2.overwrite.worktree":"Tööpuu ülekirjutus","localConversation.syncWorktreeV2.partial.action.applyFailed":"Muudatusi ei saanud rakendada","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Kohalikke muudatusi ei saanud üle kirjutada","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Tööpuu muudatusi ei saanud üle kirjutada","localConversation.syncWorktreeV2.partial.appliedLabel":"Rakendatud","localConversation.syncWorktreeV2.partial.back":"Tagasi","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Mesti konfliktid ja proovi uuesti.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konfliktid","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fail} other {# faili}}","localConversation.syncWorktreeV2.partial.retry":"Proovi uuesti","localConversation.syncWorktreeV2.partial.skippedLabel":"Jäeti vahele","localConversation.syncWorktreeV2.stateFailed.generic":"Midagi läks tööpuu muudatuste üleandmiseks laadimisel valesti. Proovi uuesti.","localConversation.syncWorktreeV2.stateFailed.title":"Tööpuu muudatuste laadimine nurjus","localConversation.syncWorktreeV2.statusError.diffUnknown":"Tööpuu muudatuste laadimine nurjus.","localConversation.syncWorktreeV2.statusError.retry":"Proovi uuesti","localConversation.syncWorktreeV2.statusError.title":"Kohaliku haru muudatusi ei saanud laadida","localConversation.syncWorktreeV2.statusError.unknown":"Haru olek ei ole hetkel saadaval. Proovi uuesti.","localConversation.syncWorktreeV2.success.apply":"Muudatused edukalt rakendatud","localConversation.syncWorktreeV2.success.overwrite":"Edukalt üle antud","localConversation.syncWorktreeV2.title":"Muudatuste üleandmine","localConversation.syncWorktreeV2.worktreeLabel":"Tööpuu","localConversation.userInputRequest.inProgress":"Küsitakse {count, plural, one {küsimust} other {küsimust}}","localConversation.userInputRequest.noAnswer":"Vastust pole","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Küsitud","localConversation.userInputRequest.summary.count":"{count, plural, one {# küsimus} other {# küsimust}}","localConversation.workedFor":"Töötas {time}","localConversation.worktreeBranchSetup.action.create":"Loo","localConversation.worktreeBranchSetup.branchAriaLabel":"Haru nimi","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Loo uus haru","localConversation.worktreeBranchSetup.checkoutDisabled":"See haru on juba vormistatud ({location})","localConversation.worktreeBranchSetup.checkoutError":"Haru vormistamine nurjus: {message}","localConversation.worktreeBranchSetup.createBranchError":"Haru seadistamine nurjus: {message}","localConversation.worktreeBranchSetup.error":"Midagi läks valesti: {message}","localConversation.worktreeBranchSetup.subtitle":"Muudatuste kehtestamiseks, pushiks ja sellest tööpuust PR-ide loomiseks loo haru. <a>Lisateave</a>","localConversation.worktreeBranchSetup.title":"Tööta siin","localConversationPage.addWorktreeToSidebar.tooltip":"Uute lõimede algatamiseks sellest tööpuust salvesta see projektina","localConversationPage.addWorktreeToSidebarError":"Projekti lisamine nurjus","localConversationPage.commitAndCreatePrModal.errorTitle":"Kehtesta ja loo PR nurjus","localConversationPage.commitAndCreatePrModal.successTitle":"PR kehtestatud ja loodud","localConversationPage.commitAndPushModal.errorTitle":"Kehtesta ja pushi nurjus","localConversationPage.commitAndPushModal.successTitle":"Muudatused kehtestatud ja pushitud","localConversationPage.commitCreatePr.open":"Ava pull request","localConversationPage.commitCreatePr.successTitle":"Loodud PR sinu viimaste muudatustega","localConversationPage.createBranchButtonLabel":"Haru siia","localConversationPage.createPrModal.baseBranch":"Alusharu","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Loo PR","localConversationPage.createPrModal.createDescription":"Ava pull request viimastele muudatustele.","localConversationPage.createPrModal.errorTitle":"Pull request nurjus.","localConversationPage.createPrModal.headBranch":"Sihtharu","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Ava PR","localConversationPage.createPrModal.successTitle":"Pull request loodud","localConversationPage.createPrModal.title":"Loo pull request","localConversationPage.createPrModal.viewDescription":"Selle haru jaoks on pull request juba olemas.","localConversationPage.createPrModal.viewTitle":"Pull request valmis","localConversationPage.createPullRequestAuthGh":"Autendi GitHub CLI: käivita `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Haru andmed ei ole saadaval","localConversationPage.createPullRequestButtonLabel":"Loo PR","localConversationPage.createPullRequestButtonLabel.loading":"PR-i loomine","localConversationPage.createPullRequestDefaultBranchMissing":"Haru vaikeandmed ei ole saadaval","localConversationPage.createPullRequestError":"Pull requesti loomine nurjus","localConversationPage.createPullRequestExistingPullRequest":"Selle haru jaoks on pull request juba olemas","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI oleku laadimine…","localConversationPage.createPullRequestInstallGh":"PR-ide loomiseks installi GitHub CLI (gh)","localConversationPage.createPullRequestNoRepo":"Giti varamut ei leitud","localConversationPage.createPullRequestPushStatusMissing":"Pushi oleku laadimine...","localConversationPage.createPullRequestSetUpstream":"Pushi see haru üles enne PR-i loomist","localConversationPage.createPullRequestSuccessToast":"Pull request loodud","localConversationPage.createPullRequestSwitchBranch":"Enne PR-i loomist välju harust","localConversationPage.error.render":"Viga kohaliku vestluse renderdamisel","localConversationPage.error.toast":"Vestlust ei leitud","localConversationPage.forcePushError":"Sundpushimine nurjus","localConversationPage.generatePullRequestMessageError":"PR-i pealkirja ja sisu loomine nurjus","localConversationPage.generatePullRequestMessageFailed":"PR-i pealkirja ja sisu loomine nurjus.","localConversationPage.gitActionResult.branch":"Haru","localConversationPage.gitActionResult.cancel":"Tühista","localConversationPage.gitActionResult.close":"Sulge","localConversationPage.gitActionResult.tryAgain":"Proovi uuesti","localConversationPage.gitActions":"Giti toimingud","localConversationPage.newChat":"Uus vestlus","localConversationPage.openInTarget":"Ava","localConversationPage.openPrimaryTarget":"Ava","localConversationPage.planItemsCompleted":"{completedItems} {totalItems, plural, one {# ülesanne valmis} other {# ülesannet valmis}}-st","localConversationPage.pushAuthError":"Push nurjus: autentimine on kohustuslik","localConversationPage.pushBranchMissing":"Haru andmed ei ole saadaval","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Pushimine...","localConversationPage.pushError":"Muudatuste push nurjus","localConversationPage.pushModal.branchLabel":"Haru","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Tühista","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Pushi viimased kehtestatavad muudatused kaugvaramusse.","localConversationPage.pushModal.errorTitle":"Push nurjus","localConversationPage.pushModal.forcePush":"Sundpush","localConversationPage.pushModal.successTitle":"Push on lõpetatud","localConversationPage.pushModal.title":"Pushi muudatused","localConversationPage.pushModal.tryAgain":"Proovi uuesti","localConversationPage.pushNoUpstream":"Enne haru pushi seadista upstream","localConversationPage.pushNoUpstreamError":"Push nurjus: upstream on seadistamata","localConversationPage.pushNothingToPush":"Uusi pushitavaid muudatusi pole","localConversationPage.pushRemoteChangedError":"Push nurjus: kaugvaramus on värskendused","localConversationPage.pushRemoteRejectedError":"Push kaugvaramu poolt tagasi lükatud","localConversationPage.pushStatusMissing":"Pushi oleku laadimine...","localConversationPage.pushSuccessToast":"Pushitud muudatused","localConversationPage.viewPullRequestButtonLabel":"Kuva PR","localConversationPage.viewPullRequestButtonLabel.loading":"Pull requesti laadimine…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fail} other {# faili}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# nimekiri} other {# nimekirja}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# otsing} other {# otsingut}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Avastamine","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Avastatud","localConversationTurn.exploration.accordion.header.complete.withCounts":"Läbi vaadatud {counts}","localConversationTurnStory.showContent":"Kuva sisu","localConversationTurnStory.streamContent":"Voogedasta sisu","localConversationTurnStory.toggleReasoning":"Kuva arutlus","localTaskRow.archiveError":"Vestluse arhiivimine nurjus","localTaskRow.resumeError":"Ülesande jätkamine nurjus","mermaidDiagram.ariaLabel":"Merineitsi diagramm","mermaidDiagram.copySource":"Kopeeri mermaid","mermaidDiagram.originalCode":"Merineitsi lähtekood","notifications.permissions.description":"Kuva hoiatus, kui nõutav on teatiste lubamine","notifications.permissions.label":"Luba loateatised","notifications.turnMode.always":"Alati","notifications.turnMode.description":"Määra, millal Codex teatab lõpetamisest","notifications.turnMode.label":"Vahetuse lõpetamise teatised","notifications.turnMode.off":"Mitte kunagi","notifications.turnMode.unfocused":"Ainult fookuse puudumisel","patchApprovalRequest.approve":"Kiida heaks","patchApprovalRequest.menu.allowAlways":"Jah, ja ära enam selle seansi vältel küsi","patchApprovalRequest.menu.allowForSession":"Jah, ja ära enam selle seansi vältel küsi","patchApprovalRequest.menu.allowOnce":"Jah","patchApprovalRequest.prompt":"Kas tahad teha need muudatused?","patchApprovalRequest.reject":"Ei","patchApprovalRequest.waitingForApproval":"Ootame failide redigeerimiseks heakskiitu","pendingRequest.approvalExec.collapse":"Kitsenda","pendingRequest.approvalExec.expand":"Laienda","pendingRequestStory.toastAnswer":"Vastus: {answer}","pendingRequestStory.toastApprovalTitle":"Heakskiitev vastus","pendingRequestStory.toastFollowupPrompt":"Viip: {prompt}","pendingRequestStory.toastFollowupTitle":"Järeltoiming saadetud","pendingRequestStory.toastNoAnswers":"Vastuseid pole","pendingRequestStory.toastQuestion":"Küsimus: {question} ","pendingRequestStory.toastUnknownDecision":"Teadmata","pendingRequestStory.toastUserInputTitle":"Esitatud vastused","quickAction.request.codeReview.branches.new":"Palun vaata {from} muudatused üle, võrreldes {to}","quickAction.request.codeReview.uncommitted.new":"Palun vaata üle minu rakendamata muudatused","reasoningItem.thinking":"Mõtlemine","reasoningItem.thought":"Mõtles","reasoningItem.thoughtWithElapsed":"Mõtles {elapsed}","recentConversations.title":"Hiljutised vestlused","recentTasks.worktreeInitFailedTitle":"Tööpuu käivitamine nurjus","recentTasks.worktreeSettingUpTitle":"Tööpuu seadistamine","requestInputPanel.continue":"Jätka","requestInputPanel.dismiss":"Hülga","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Sisesta siia","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ei, ja ütle Codexile, mida teha teisiti","requestInputPanel.selectedBadge":"Valitud","requestInputPanel.skip":"Jäta vahele","requestInputPanel.submit":"Esita","review.commit.ariaLabel.includeUnstaged":"Kaasa arvatud proovilaual kuvamata muudatused","review.commit.buttonLabel":"Rakenda","review.commit.disabled.committing":"Kehtestamine...","review.commit.disabled.loadingDiff":"Difi laadimine…","review.commit.disabled.missingContext":"Kehtestamissõnumi genereerimiseks lisa pisut konteksti","review.commit.disabled.noChanges":"Kehtestatavad muudatused puuduvad","review.commit.disabled.noSelection":"Vali kehtestatavad muudatused","review.commit.disabled.unavailable":"Kehtestamine ei ole hetkel saadaval","review.commit.error":"Muudatuste rakendamine nurjus","review.commit.form.changesToBeCommitted":"Muudatused","review.commit.form.commitTo":"Haru","review.commit.form.commitTo.none":"–","review.commit.form.continue":"Jätka","review.commit.form.title":"Kehtesta oma muudatused","review.commit.generate.emptyResponse":"Kehtestamissõnumit ei saanud luua.","review.commit.generate.failed":"Kehtestamissõnumi genereerimine nurjus: {error}","review.commit.generate.missingPrompt":"Kehtestamissõnumi genereerimiseks lisa pisut konteksti.","review.commit.includeUnstaged":"Kaasa arvatud proovilaual kuvamata muudatused","review.commit.loading.description":"Oota pisut, see võib veidi aega võtta...","review.commit.loading.step.commit.done":"Kehtestatud muudatused","review.commit.loading.step.commit.pending":"Muudatuste kehtestamine","review.commit.loading.step.createPr.done":"Pull request loodud","review.commit.loading.step.createPr.pending":"Pull requesti loomine","review.commit.loading.step.push.done":"Pushitud harus {branch}","review.commit.loading.step.push.pending":"Pushitakse harus {branch}","review.commit.loading.title.commit":"Muudatuste kehtestamine","review.commit.loading.title.createPr":"PR loomine","review.commit.loading.title.push":"Muudatuste pushimine","review.commit.messageLabel":"Commiti sõnum","review.commit.messagePlaceholder":"Kehtestamissõnumi automaatseks genereerimiseks jäta tühjaks","review.commit.nextSteps":"Järgmised sammud","review.commit.nextSteps.commit":"Kehtesta","review.commit.nextSteps.commitAndCreate":"Kehtesta ja loo PR","review.commit.nextSteps.commitAndPush":"Kehtesta ja pushi","review.commit.nextSteps.prRequiresGh":"Vajalik on GitHub CLI: {command}","review.commit.rows.changes":"Muudatused","review.commit.rows.commitCount":"{count, plural, one {# kehtestus} other {# kehtestust}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# kehtestus} other {# kehtestust}} ja {stats}","review.commit.rows.fileCount":"{count, plural, one {# fail} other {# faili}}","review.commit.state.error.body":"Kehtestamisel läks midagi valesti. Kontrolli oma giti olekut ja proovi uuesti.","review.commit.state.error.title":"Kehtestamine nurjus","review.commit.state.success.title":"Muudatused kehtestatud","review.commit.untracked.loadingStats":"Diffi andmete laadimine...","reviewFindingAttachments.count":"{count, plural, one {# vaste} other {# vastet}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Agendi tegevuse kohandamiseks redigeeri konfiguratsiooni","settings.agent.configuration.configToml.docs":"Dokumendid","settings.agent.configuration.subtitle":"Need seaded kehtivad kõikjal, kus kasutatakse Codexit","settings.automations.banner.danger":"Automatiseeringud töötavad sinu liivakasti vaikeseadetega, milleks on praegu seatud täielik juurdepääs. Taustal automatiseerimisülesannete käitamine täieliku juurdepääsuga on seotud suurema riskiga, kuna Codex võib faile muuta, käsklusi käivitada ja võrgule juurde pääseda ilma küsimata. Kaalu liivakasti seadete värskendamist tööjaamas kirjutamiseks ja <rulesDocsLink>reeglite</rulesDocsLink> kasutamist, et valikuliselt määratleda, milliseid käsklusi agent saab täieliku juurdepääsuga käivitada.","settings.automations.banner.defaultHowTo.default":"Automatiseeringud töötavad sinu liivakasti vaikeseadetega. Tööriistakäivitused ebaõnnestuvad, kui need nõuavad failide muutmist väljaspool tööjaama, võrgule juurdepääsu või arvuti rakendustega töötamist. <rulesDocsLink>Reeglite</rulesDocsLink> abil saad valikuliselt lubada käsklusi, mis töötavad väljaspool liivakasti.","settings.automations.banner.defaultHowTo.readOnly":"Automatiseeringud töötavad sinu liivakasti vaikeseadetega, milleks on seatud ainult lugemisrežiim. Tööriistakäivitused ebaõnnestuvad, kui need nõuavad failide muutmist väljaspool tööjaama, võrgule juurdepääsu või arvuti rakendustega töötamist. Kaalu liivakasti seadete värskendamist tööjaamas kirjutamiseks.","settings.automations.cancel":"Tühista","settings.automations.create":"Loo","settings.automations.cwdEmpty":"Projekti kaustu pole","settings.automations.cwdLabel":"Projektid","settings.automations.cwdPlaceholder":"Vali kaust","settings.automations.cwdSubtitle":"Kui soovid, et automatiseerimisülesanne käivitatakse konkreetses harus, võid selle viipa kirjutada.","settings.automations.delete":"Kustuta","settings.automations.dialog.editTitle":"Muuda automatiseerimisülesannet","settings.automations.dialog.newTitle":"Uus automatiseerimisülesanne","settings.automations.dialog.subtitle":"Automatiseeri korduvaid ülesandeid taustal. Codex lisab leiud sisendpostkasti või arhiveerib ülesande automaatselt, kui pole midagi teatada. <learnMoreLink>Lisateave</learnMoreLink>","settings.automations.dialog.title":"Loo automatiseerimisülesanne","settings.automations.executionCopy.git":"Automatiseerimisülesanded käitatakse taustal vastavates tööpuudes.","settings.automations.executionCopy.nonGit":"Versioonikontrollita projektide automatiseerimisülesanded käitatakse otse projektikataloogis. Kaalu Giti kasutamist, et lubada nende töötamine taustal tööpuudes.","settings.automations.executionEnvironment.local":"Kohalik","settings.automations.executionEnvironment.worktree":"Tööpuu","settings.automations.loading":"Laadimine ...","settings.automations.nameLabel":"Nimi","settings.automations.namePlaceholder":"Kontrolli Sentry probleeme","settings.automations.pause":"Peata","settings.automations.promptLabel":"Viip","settings.automations.promptPlaceholder":"otsi krahhe siin: $Sentry","settings.automations.resume":"Jätka","settings.automations.rruleSummaryFallback":"Kohandatud graafik","settings.automations.runNow":"Testi","settings.automations.save":"Salvesta","settings.automations.scheduleBadge.dayCount":"{count} p","settings.automations.scheduleBadge.interval":"{count} t","settings.automations.scheduleBadge.weekdays":"tööpäeviti","settings.automations.scheduleBadge.weekends":"puhkepäeviti","settings.automations.scheduleHeader":"Graafik","settings.automations.scheduleHours":"tundi","settings.automations.scheduleLabel":"Käivita iga","settings.automations.scheduleMode.daily":"Iga päev","settings.automations.scheduleMode.interval":"Vahemik","settings.automations.scheduleModeLabel":"Graafiku tüüp","settings.automations.scheduleSummary.daily":"Iga päev kell {time}","settings.automations.scheduleSummary.interval":"Iga {count}t tagant","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# päeva} other {# päeva}}","settings.automations.scheduleSummary.intervalDays":"{days} kell {interval}","settings.automations.scheduleSummary.intervalHourly":"Iga tunni tagant","settings.automations.scheduleSummary.singleDay":"{day} kell {time}","settings.automations.scheduleSummary.weekdays":"Tööpäevadel kell {time}","settings.automations.scheduleSummary.weekdaysLabel":"tööpäeviti","settings.automations.scheduleSummary.weekends":"Puhkepäevadel kell {time}","settings.automations.scheduleSummary.weekendsLabel":"puhkepäeviti","settings.automations.scheduleSummary.weekly":"{days} kell {time}","settings.automations.scheduleWeekdays":"Sees","settings.automations.weekdayState.excluded":"Välja arvatud","settings.automations.weekdayState.included":"Kaasa arvatud","settings.conversationDetail.steps":"Sammud","settings.conversationDetail.steps.description":"Peida käsklused ja väljundid","settings.conversationDetail.stepsWithCommands":"Sammud koodkäsklustega","settings.conversationDetail.stepsWithCommands.description":"Kuva käsklused, kahanda väljund","settings.conversationDetail.stepsWithOutput":"Sammud koodväljundiga","settings.conversationDetail.stepsWithOutput.description":"Kuva käsklused ja laienda väljund","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Arhiivitud vestlusi pole","settings.dataControls.archivedChats.error":"Arhiivitud vestlusi ei saanud laadida.","settings.dataControls.archivedChats.loading":"Arhiivitud vestluste laadimine...","settings.dataControls.archivedChats.unarchive":"Eemalda arhiivist","settings.dataControls.archivedChats.unarchiveError":"Vestluse arhiivist eemaldamine nurjus","settings.dataControls.archivedChats.unarchiveSuccess":"Arhiivimata lõim. <viewNowLink>Vaata kohe</viewNowLink>","settings.dataControls.archivedChats.untitled":"Nimetu vestlus","settings.editRow.headerPlaceholder":"Võti","settings.editRow.removeEntry":"Eemalda sisestatu","settings.editRow.valuePlaceholder":"Väärtus","settings.general.appearance":"Välimus","settings.general.appearance.codeFont":"Koodi kirjatüüp","settings.general.appearance.codeFont.description":"Kohanda vestlustes ja diffides kasutatavat koodi kirjatüüpi ja suurust","settings.general.appearance.codeFontFamily":"Koodi kirjatüübi perekond","settings.general.appearance.codeFontSize":"Koodi kirja suurus","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Pane aknad kasutama süsteemse läbipaistvuse asemel ühtlast tausta","settings.general.appearance.opaqueWindows.label":"Kasuta läbipaistmatut akna tausta","settings.general.appearance.sansFontFamily":"Sans kirjatüüpide perekond","settings.general.appearance.sansFontFamily.description":"Kohalda Codexi kasutajaliidese kirjatüüpi","settings.general.appearance.sansFontSize":"Sans kirjatüübi suurus","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Näita kogu akna ulatuses tähistamisefekte, kui GPT-5.3-Codex-Spark töötab esimest vooru.","settings.general.appearance.sparkCelebrationEffects.label":"Säravad peoefektid","settings.general.appearance.theme":"Teema","settings.general.appearance.theme.dark":"Tume","settings.general.appearance.theme.description":"Vali hele, tume või süsteemiga kohandatud","settings.general.appearance.theme.light":"Hele","settings.general.appearance.theme.system":"Süsteem","settings.general.appearance.usePointerCursors.description":"Kursori muutmine interaktiivsete elementide kohal hõljumisel osutiks","settings.general.appearance.usePointerCursors.label":"Kasuta osuti-kursoreid","settings.general.enterBehavior.description":"Kui see seade on sees, on mitmerealiste viipade saatmiseks vajalik {modifierSymbol} + sisestusklahv.","settings.general.enterBehavior.label":"Kehtesta pikkade viipade saatmiseks {modifierSymbol} + sisestusklahv","settings.general.experimentalFeatures":"Katselised funktsioonid (beeta)","settings.general.experimentalFeatures.empty":"Katselisi funktsioone (beeta) pole saadaval.","settings.general.experimentalFeatures.loading":"Katseliste funktsioonide laadimine...","settings.general.experimentalFeatures.restartNote":"Katseliste funktsioonide muudatuste rakendamiseks taaskäivita Codex","settings.general.experimentalFeatures.toggle":"Vali {featureName}","settings.general.followUpQueueMode.description":"Pane järeltegevused Codexi töö ajal järjekorda või katkesta pooleliolev käivitus","settings.general.followUpQueueMode.interrupt":"Suunamine","settings.general.followUpQueueMode.label":"Järeltegevuste haldamine","settings.general.followUpQueueMode.queue":"Järjekorda","settings.general.notifications":"Teatised","settings.general.power.preventSleepWhileRunning.description":"Jäta arvuti ärkveloleku režiimile, kuni Codex käitab lõime.","settings.general.power.preventSleepWhileRunning.label":"Takista käitamise ajal unerežiimile lülitumist","settings.git.branchPrefix.ariaLabel":"Haru prefiks","settings.git.branchPrefix.description":"Codexis uute harude loomiseks kasutatav prefiks","settings.git.branchPrefix.label":"Haru prefiks","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Haru prefiksi salvestamine nurjus","settings.git.branchPrefix.save.success":"Haru prefiks salvestatud","settings.git.commitInstructions.ariaLabel":"Kehtestamise juhised","settings.git.commitInstructions.description":"Lisatud kehtestamissõnumi genereerimise viipadesse","settings.git.commitInstructions.label":"Kehtestamise juhised","settings.git.commitInstructions.placeholder":"Lisa kehtestamissõnumi juhend...","settings.git.commitInstructions.save":"Salvesta","settings.git.commitInstructions.save.error":"Kehtestamise juhiste salvestamine nurjus","settings.git.commitInstructions.save.success":"Kehtestamise juhised salvestatud ","settings.git.forcePush.ariaLabel":"Pushi alati sundkorras","settings.git.forcePush.description":"Codexist pushimisel kasuta sundimist rendiga","settings.git.forcePush.label":"Pushi alati sundkorras","settings.git.forcePush.save.disabled":"Sundkorras push alati keelatud","settings.git.forcePush.save.enabled":"Sundkorras push alati lubatud","settings.git.forcePush.save.error":"Sundkorras pushi seadistuse salvestamine nurjus","settings.git.prInstructions.ariaLabel":"Pull requesti juhised","settings.git.prInstructions.description":"Lisatud Codexi loodud pull requestide sisule","settings.git.prInstructions.label":"Pull requesti juhised","settings.git.prInstructions.placeholder":"Lisa pull requesti juhend...","settings.git.prInstructions.save":"Salvesta","settings.git.prInstructions.save.error":"Pull requesti juhiste salvestamine nurjus","settings.git.prInstructions.save.success":"Pull requesti juhised salvestatud","settings.ide.defaultOpenTarget.description":"Kus failid ja kaustad vaikimisi avanevad","settings.ide.defaultOpenTarget.label":"Vaikimisi avanemise koht","settings.ide.defaultOpenTarget.placeholder":"Kohta ei leitud","settings.ide.language.auto":"Tuvasta automaatselt","settings.ide.language.autoOption":"Tuvasta automaatselt","settings.ide.language.description":"Rakenduse kasutajaliidese keel","settings.ide.language.label":"Keel","settings.ide.language.search":"Otsi keeli","settings.layout.actionButton":"Taaskäivita laiendus","settings.layout.actionTitle":"Seaded toiminguga","settings.layout.fullWidthTitle":"Seaded (täislaius)","settings.layout.title":"Seaded","settings.localEnvironments.actions.add":"Lisa toiming","settings.localEnvironments.actions.add.description":"Loo uus käsklus tööriistaribalt käivitamiseks.","settings.localEnvironments.actions.add.save":"Salvesta","settings.localEnvironments.actions.empty":"Lisa toiming käskluste käivitamiseks kohalikult tööriistaribalt.","settings.localEnvironments.actions.icon.debug":"Kõrvalda vead","settings.localEnvironments.actions.icon.run":"Käivita","settings.localEnvironments.actions.icon.test":"Katse","settings.localEnvironments.actions.icon.tool":"Tööriist","settings.localEnvironments.actions.item.button.delete":"Kustuta","settings.localEnvironments.actions.item.command":"Toimingu skript","settings.localEnvironments.actions.item.name":"Nimi","settings.localEnvironments.actions.item.platforms":"Platvormid","settings.localEnvironments.actions.item.platforms.help":"Käivita ainult näidatud opsüsteemis.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Platvormi valimine","settings.localEnvironments.actions.item.platforms.specific":"Platvormispetsiifiline","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Kustuta","settings.localEnvironments.actions.title":"Toimingud","settings.localEnvironments.breadcrumb.back":"Tagasi","settings.localEnvironments.breadcrumb.edit":"redigeeri","settings.localEnvironments.breadcrumb.root":"Keskkonnad","settings.localEnvironments.environment.actions.description":"Need toimingud võivad käivitada mis tahes käsklusi ja kuvatakse päises.","settings.localEnvironments.environment.actionsLabel":"Toimingud","settings.localEnvironments.environment.create":"Loo kohalik keskkond","settings.localEnvironments.environment.defaultName":"kohalik","settings.localEnvironments.environment.edit":"Redigeeri kohalikku keskkonda","settings.localEnvironments.environment.empty":"Selle projekti jaoks ei ole kohalikku keskkonda veel seadistatud.","settings.localEnvironments.environment.name":"Nimi","settings.localEnvironments.environment.setup":"Seadistamise skript","settings.localEnvironments.environment.setup.description":"See skript käivitatakse tööpuu loomisel.","settings.localEnvironments.environment.setup.hint":"Käivitatakse projekti juurkataloogis.","settings.localEnvironments.environment.setup.platformOverrides":"Platvormi sürjed","settings.localEnvironments.environment.setup.platformOverrides.add":"Lisa {platform} seadistamisskript","settings.localEnvironments.environment.setup.platformOverrides.description":"Sürjab näidatud opsüsteemide vaikeskriptid.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Eemalda","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Keskkonna andmed","settings.localEnvironments.file.missing":"Salvesta selle faili esmakordseks loomiseks.","settings.localEnvironments.file.parseError":"Olemasolevat faili ei saanud parsida. Salvestamisel kirjutatakse see üle. ({error})","settings.localEnvironments.file.path":"Fail: {path}","settings.localEnvironments.file.readError":"Kohaliku keskkonna andmeid ei saanud laadida. ({error})","settings.localEnvironments.file.title":"Kohaliku keskkonna fail","settings.localEnvironments.loading.body":"Projekti konfiguratsiooni päringut teostatakse.","settings.localEnvironments.loading.title":"Kohalike keskkondade laadimine","settings.localEnvironments.preview.devOnly":"(Ainult DEV)","settings.localEnvironments.preview.save":"Salvesta","settings.localEnvironments.preview.saveError":"Faili salvestamine nurjus ({error})","settings.localEnvironments.preview.title":"Eelvaade","settings.localEnvironments.save.disabled.name":"Lisa salvestamiseks keskkonna nimi.","settings.localEnvironments.save.disabled.noChanges":"Pole salvestatavaid muudatusi.","settings.localEnvironments.save.disabled.saving":"Salvestamine...","settings.localEnvironments.save.success":"Salvestatud kohalik keskkond","settings.localEnvironments.unavailable.body":"Selle projekti kohaliku keskkonna seadeid ei saanud laadida.","settings.localEnvironments.unavailable.title":"Kohalikke keskkondi pole saadaval","settings.localEnvironments.workspace.add":"Lisa projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Lisa keskkond","settings.localEnvironments.workspaceSelect.description":"Kohalikud keskkonnad ütlevad Codexile, kuidas luua projekti jaoks tööpuid. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Projekte pole veel. Kohalike keskkondade seadistamiseks lisa projekt.","settings.localEnvironments.workspaceSelect.errorLabel":"Keskkond vajab ülevaatamist","settings.localEnvironments.workspaceSelect.learnMore":"Lisateave","settings.localEnvironments.workspaceSelect.listLabel":"Saadaval projektid","settings.localEnvironments.workspaceSelect.loading":"Projektide laadimine.","settings.localEnvironments.workspaceSelect.loadingLabel":"Keskkonna laadimine","settings.localEnvironments.workspaceSelect.title":"Vali projekt","settings.localEnvironments.workspaceSelect.viewAction":"Vaata","settings.mcp.addServer":"Lisa server","settings.mcp.app.configure":"Konfigureeri","settings.mcp.app.connect":"Ühenda","settings.mcp.apps.refresh":"Värskenda","settings.mcp.detail.addArgument":"Lisa argument","settings.mcp.detail.addEnvVar":"Lisa keskkonna muutuja","settings.mcp.detail.addEnvVarPassthrough":"Lisa muutuja","settings.mcp.detail.args":"Argumendid","settings.mcp.detail.back":"Tagasi","settings.mcp.detail.command":"Käivitamiskäsk","settings.mcp.detail.cwd":"Töökataloog","settings.mcp.detail.docs":"Ava MCP dokumentatsioon","settings.mcp.detail.docs.link":"Dokumendid","settings.mcp.detail.envVarPassthrough":"Keskkonna muutuja läbipääs","settings.mcp.detail.envVars":"Keskkonna muutujad","settings.mcp.detail.http.addEnvHeader":"Lisa muutuja","settings.mcp.detail.http.addHeader":"Lisa päis","settings.mcp.detail.http.bearerToken":"Kandja tokeni keskkonna muutujad","settings.mcp.detail.http.envHeaders":"Keskkonna muutujate päised","settings.mcp.detail.http.headers":"Päised","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nimi","settings.mcp.detail.save":"Salvesta","settings.mcp.detail.switchTransportNotice":"Kui soovid üle minna teist tüüpi MCP-serverile, pead esmalt desinstallima.","settings.mcp.detail.titleExisting":"Värskenda {name} MCP","settings.mcp.detail.titleNew":"Ühenda kohandatud MCP-ga","settings.mcp.detail.transport.http":"Voogedastatav HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Desinstalli","settings.mcp.empty":"Ühtki kohandatud MCP-serverit ei ole ühendatud","settings.mcp.myServers":"Kohandatud serverid","settings.mcp.partnerServer.description.figma":"Koosta koodi paremini täielikku Figma konteksti kaasates","settings.mcp.partnerServer.description.github":"Integreeri GitHubi API-dega töövoogude automatiseerimiseks ja andmete eraldamiseks","settings.mcp.partnerServer.description.linear":"Intergreeri Lineari probleemijälgimise ja projektijuhtimise funktsioonidega","settings.mcp.partnerServer.description.notion":"Loe dokumente, värskenda lehekülgi, halda ülesandeid","settings.mcp.partnerServer.description.playwright":"Intergreeri lehitseja automatiseerimine disaini rakendamiseks ja kasutajaliidese testimiseks.","settings.mcp.partnerServer.install":"Installi","settings.mcp.partnerServer.installAndAuthenticate":"Installi ja autendi","settings.mcp.partnerServer.logoAlt":"{label} logo","settings.mcp.partnerServer.manage":"Halda","settings.mcp.partnerServer.vendor":"autor {vendor}","settings.mcp.recommendedServers":"Soovitatud serverid","settings.mcp.restartApp":"Taaskäivita","settings.mcp.restartExtension":"Taaskäivita laiendus","settings.mcp.server.enable":"Luba","settings.mcp.server.login":"Autendi","settings.mcp.server.settings":"Seaded","settings.multiselect.createOption":'Loo "{value}"',"settings.multiselect.removeOption":"Eemalda","settings.nav.account":"Konto","settings.nav.agent":"Konfiguratsioon","settings.nav.ariaLabel":"Seaded","settings.nav.back":"Tagasi rakenduse juurde","settings.nav.data-controls":"Arhiivitud lõimed","settings.nav.environments":"Pilve keskkonnad","settings.nav.externalTooltip":"[alpha] Avaneb lehitsejas","settings.nav.general-settings":"Üldine","settings.nav.git-settings":"Git","settings.nav.local-environments":"Keskkonnad","settings.nav.mcp-settings":"+ MCP serverid","settings.nav.notImplemented":"[alpha] Ei ole Alphas saadaval","settings.nav.personalization":"Isikupärastamine","settings.nav.skills-settings":"Oskused","settings.nav.usage-analytics":"Kasutus ja statistika","settings.nav.worktrees":"Tööpuud","settings.openSourceLicenses.back":"Tagasi","settings.openSourceLicenses.loading":"Laadimine ...","settings.openSourceLicenses.missing":"Kolmanda osalise märkusi ei leitud.","settings.openSourceLicenses.notSupported":"Pole selles hostis saadaval.","settings.openSourceLicenses.rowDescription":"Kolmanda osalise märkused seoses kimpsõltuvustega","settings.openSourceLicenses.rowLabel":"Avatud lähtekoodiga litsentsid","settings.openSourceLicenses.subtitle":"Kolmanda osalise märkused seoses selle rakenduse sõltuvustega","settings.openSourceLicenses.title":"Avatud lähtekoodiga litsentsid","settings.openSourceLicenses.view":"Vaata","settings.personalization.agents.description":"Muuda juhiseid, millega Codex käepäraseks viimistleda. {learnMore}","settings.personalization.agents.learnMore":"Lisateave","settings.personalization.agents.loadError":"agents.md laadimine ei õnnestunud.","settings.personalization.agents.loading":"agents.md laadimine...","settings.personalization.agents.placeholder":"Lisa kohandatud juhised...","settings.personalization.agents.retry":"Proovi uuesti","settings.personalization.agents.save":"Salvesta","settings.personalization.agents.save.error":"agents.md salvestamine ei õnnestunud","settings.personalization.agents.save.success":"agents.md salvestatud","settings.personalization.agents.title":"Kohandatud juhised","settings.personalization.personality.description":"Vali vaikeaeg Codexi vastuste saamiseks","settings.personalization.personality.label":"Isikupära","settings.sample.contentBody":"Kasuta seda paigutust, et koostada oma seadete paneelid ühtlase vahega.","settings.sample.contentTitle":"Näidis sisuplokk","settings.section.account":"Konto","settings.section.agent":"Konfiguratsioon","settings.section.data-controls":"Arhiivitud lõimed","settings.section.environments":"Pilve keskkonnad","settings.section.external":"Avaneb sinu lehitsejas Alphaga","settings.section.general-settings":"Üldine","settings.section.git-settings":"Git","settings.section.local-environments":"Keskkonnad","settings.section.mcp-settings":"+ MCP serverid","settings.section.mcp-settings.docs":"Dokumendid","settings.section.mcp-settings.subtitle":"Väliste tööriistade ja andmeallikate ühendamine.","settings.section.personalization":"Isikupärastamine","settings.section.skills-settings":"Oskused","settings.section.unavailable":"Pole veel Alphas saadaval","settings.section.usage-analytics":"Kasutus ja statistika","settings.section.worktrees":"Tööpuud","settings.threadDetail.description":"Vali, kui palju käskluste väljundit kuvada lõimedes","settings.threadDetail.label":"Lõime andmed","settings.worktrees.conversation.untitled":"Nimetu vestlus","settings.worktrees.delete.error":"Tööpuu kustutamine nurjus","settings.worktrees.empty.body":"Codexi loodud tööpuud kuvatakse siin.","settings.worktrees.empty.title":"Pole veel tööpuid","settings.worktrees.error.body":"Tööpuude laadimisel läks midagi valesti.","settings.worktrees.error.retry":"Proovi uuesti","settings.worktrees.error.title":"Tööpuid ei saanud laadida","settings.worktrees.loading.body":"Tööpuu andmeid laaditakse.","settings.worktrees.loading.title":"Tööpuude laadimine","settings.worktrees.repository.loading":"Varamu metaandmete laadimine...","settings.worktrees.repository.unknown":"Tundmatu varamu","settings.worktrees.row.conversations":"Vestlused","settings.worktrees.row.conversations.empty":"Selle tööpuuga seotud vestlused puuduvad.","settings.worktrees.row.conversations.loading":"Vestluste laadimine...","settings.worktrees.row.delete":"Kustuta","settings.worktrees.row.title":"Tööpuu","sidebarElectron.addWorkspaceRoot":"Lisa uus projekt","sidebarElectron.archiveThread":"Arhiivi lõim","sidebarElectron.archiveThreadError":"Lõime arhiivimine nurjus","sidebarElectron.collapseFolder":"Kahanda kaust","sidebarElectron.createStableWorktree.dialog.cancel":"Tühista","sidebarElectron.createStableWorktree.dialog.create":"Loo","sidebarElectron.debugNavLink":"Kõrvalda vead","sidebarElectron.editWorkspaceRootOptionName":"Redigeeri nime","sidebarElectron.expandFolder":"Laienda kausta","sidebarElectron.groupByMenu.recency":"Ajaline loetelu","sidebarElectron.groupByMenu.title":"Organiseeri","sidebarElectron.groupByMenu.workspace":"Projekti järgi","sidebarElectron.inboxRouteNavLink":"Automatiseeringud","sidebarElectron.markThreadUnread":"Märgi mitteloetuks","sidebarElectron.missingWorkspaceRoot":"Projekti kaust on kustutatud või teisaldatud","sidebarElectron.newThread":"Uus lõim","sidebarElectron.newThreadInGroup":"Alusta uut lõime siin: {folder}","sidebarElectron.noRecentThreads":"Hiljutised lõimed puuduvad","sidebarElectron.noTasks":"Lõimed puuduvad","sidebarElectron.noTasks.start":"Lisa uus projekt","sidebarElectron.noTasksWithFilter":"Filtritele vastavad lõimed puuduvad","sidebarElectron.pinnedThreads":"Kinnitatud lõimed","sidebarElectron.recentNavLink":"Lõimed","sidebarElectron.recentThreads":"Hiljutised lõimed","sidebarElectron.removeWorkspaceRootOption":"Eemalda","sidebarElectron.renameThread":"Nimeta lõim ümber","sidebarElectron.renameThreadDialogAriaLabel":"Lõime nimi","sidebarElectron.renameThreadDialogCancel":"Tühista","sidebarElectron.renameThreadDialogPlaceholder":"Lisa nimi...","sidebarElectron.renameThreadDialogSave":"Salvesta","sidebarElectron.renameThreadDialogSubtitle":"Soovitus: lühike ja kergesti loetav.","sidebarElectron.renameThreadDialogTitle":"Nimeta lõim ümber","sidebarElectron.renameThreadError":"Lõime ümbernimetamine nurjus","sidebarElectron.renameWorkspaceRootOptionLabel":"Kuva nimi","sidebarElectron.showLess":"Kuva vähem","sidebarElectron.showMenu.all":"Kõik lõimed","sidebarElectron.showMenu.relevant":"Asjakohane","sidebarElectron.showMenu.relevantHint":"Kuva ainult praeguse haru või tööpuude viimased lõimed või muud sinu tähelepanu vajavad lõimed","sidebarElectron.showMenu.title":"Kuva","sidebarElectron.showMenu.tooltip":"Filtreeri, järjesta ja korrasta lõimesid","sidebarElectron.showMenu.trigger":"Külgriba lõimede filtreerimine","sidebarElectron.showMore":"Kuva rohkem","sidebarElectron.skillsRouteNavLink":"Oskused","sidebarElectron.sortMenu.created":"Loodud","sidebarElectron.sortMenu.title":"Sortimisalus","sidebarElectron.sortMenu.updated":"Värskendatud","sidebarElectron.taskNavigation":"Automatiseerimisülesannete kaustad","sidebarElectron.tasksInFolder":"Automatiseeringud siin: {folder}","sidebarElectron.workspaceOptions":"Projekti toimingud ({folder})","sidebarElectron.worktreeGroupTooltip":"See on giti tööpuu","skills.appsPage.createSkill":"Uus oskus","skills.appsPage.empty.skills":"Oskusi ei leitud","skills.appsPage.search.skills":"Oskuste otsing","skills.appsPage.search.skills.label":"Oskuste otsing","skills.appsPage.section.installedApps":"Installitud","skills.appsPage.section.skills":"Oskused","skills.appsPage.subheading":"Muuda Codex superkangelaseks.<link>Lisateave</link>","skills.appsPage.tab.recommended":"Soovitatud","skills.appsPage.tab.skills":"Oskused","skills.card.contentsError":"Oskuse sisu ei saanud laadida.","skills.card.disable":"Keela","skills.card.disableSuccess":"{skillName} oskus keelatud","skills.card.disabledBadge":"Keelatud","skills.card.enable":"Luba","skills.card.enableSuccess":"{skillName} oskus lubatud","skills.card.loadingContents":"Oskuse sisu laadimine...","skills.card.more":"Rohkem toiminguid","skills.card.open":"Ava","skills.card.removeFailed":"Oskuse desinstallimine nurjus","skills.card.removeSuccess":"{skillName} oskus desinstallitud","skills.card.toggleEnabledError":"Oskuse värskendamine nurjus","skills.card.try":"Proovi","skills.card.trySkill":"Katseta oskust","skills.card.uninstall":"Desinstalli","skills.hero.dotLabel":"Mine slaidile {index} ","skills.hero.next":"Järgmine väärt oskus","skills.hero.trySkill":"Katseta oskust","skills.page.createSkill":"Uus oskus","skills.page.empty":"Oskusi ei leitud","skills.page.filteredEmpty":"Ükski üksus ei vasta sinu filtritele","skills.page.filteredEmptyDescription":"Muuda otsingut või filtreid","skills.page.heading":"Oskused","skills.page.loading":"Oskuste laadimine...","skills.page.refreshSkills":"Värskenda","skills.page.refreshSkillsToUseNew":"Uu(t)e oskus(t)e kasutamiseks värskenda","skills.page.search":"Oskuste otsing","skills.page.search.label":"Oskuste otsing","skills.page.subheading":"Muuda Codex superkangelaseks.<link>Lisateave</link>","skills.preview.copyPrompt":"Kopeeri viip","skills.preview.examplePrompt":"Näidisviip","skills.recommended.error":"Soovitatud oskuste laadimine nurjus","skills.recommended.install":"Installi","skills.recommended.installSkill":"Installi oskus","skills.recommended.installSuccess":"{skillName} oskus installitud","skills.recommended.installed":"Installitud","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Admini installitud","skills.scope.builtIn":"Süsteem","skills.scope.personal":"Isiklik","skills.scope.repo":"Varamu","skills.scope.system":"Süsteem","skills.scope.team":"Meeskond","skills.scope.user":"Kasutaja","skills.section.installed":"Installitud","skills.section.recommended":"Soovitatud","story.slidingToggle.existing":"Olemasolev","story.slidingToggle.fromLocal":"Kohalikust keskkonnast","story.slidingToggle.new":"Uus","story.slidingToggle.toLocal":"Kohalikku keskkonda","terminal.close":"Sulge terminal","terminal.title":"Terminal","thinkingShimmer.default":"Mõtlemine","threadEnvIcon.cloudTooltip":"See vestlus käivitati Codexi pilvekeskkonnas.","threadEnvIcon.localTooltip":"See vestlus käivitati kohalikus keskkonnas.","threadEnvIcon.worktreeTooltip":"See vestlus käivitati kohalikus giti tööpuus.","threadHeader.archiveConfirmCancel":"Tühista","threadHeader.archiveConfirmConfirm":"Arhiivi","threadHeader.copySessionId":"Kopeeri seansi ID","threadHeader.copyWorkingDirectory":"Kopeeri töökataloog","threadHeader.forkIntoLocal":"Hargi kohalikku töökoopiasse","threadHeader.forkIntoWorktree":"Hargi uude tööpuusse","threadHeader.forkPendingWorktreePrompt":"Hargi see vestlus uude tööpuusse.","threadHeader.forkPendingWorktreeTitle":"Hargitud vestlus","threadHeader.forkThreadError":"Lõime harkimine nurjus","threadHeader.forkThreadRequiresGitRepo":"Uude tööpusse harkimiseks on vajalik giti varamu","threadHeader.moreActions":"Lõime toimingud","threadPage.newThread":"Uus lõim","threadPage.runAction.changeEnvironment":"Keskkonna muutmine","threadPage.runAction.dropdown.titleWithEnvironment":"Toimingud ({environmentName} )","threadPage.runAction.environmentSelector.label":"Vali keskkond","threadPage.runAction.label":"Käivita","threadPage.runAction.missing.label":"Seadista käivitamistoiming","threadPage.runAction.setup.commandLabel":"Käivitamiskäsk","threadPage.runAction.setup.description":"Räägi Codexile, kuidas installida sõltuvused ja käivitada sinu rakendus.","threadPage.runAction.setup.editMore":"Keskkonna seaded","threadPage.runAction.setup.placeholder":"nt: npm install npm run","threadPage.runAction.setup.submit":"Salvesta ja käivita","threadPage.runAction.setup.title":"Käivita","threadPage.runAction.tooltip.withEnvironment":"Toimingud ({environmentName} )","threadPage.toggleDiffPanel":"Diffi paneeli valikud","threadPage.toggleTerminal":"Terminali valikud","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Ava kaust","toolSummaryForCmd.exploredFiles":"<verb>Loetellu kuuluvad</verb> failid","toolSummaryForCmd.exploredFilesInPath":"<verb>Loetellu kuuluvad</verb> failid siin: {path}","toolSummaryForCmd.exploringFiles":"<verb>Loetletakse</verb> faile","toolSummaryForCmd.exploringFilesInPath":"<verb>Loetletakse</verb> faile siin: {path}","toolSummaryForCmd.ranGenericCommand":"<status>Käitati käsklus</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Käivitas</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Loe</verb> allikat {path}","toolSummaryForCmd.runningGenericCommand":"<status>Käivitatud käsklus</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}","toolSummaryForCmd.searchedFor":"<verb>Otsis</verb> teemat {query}","toolSummaryForCmd.searchedForFiles":"<verb>Otsis</verb> faile","toolSummaryForCmd.searchedForInPath":"<verb>Otsis</verb> teemat {query} siin: {path}","toolSummaryForCmd.searchingFor":"<verb>Otsitakse</verb> ({query})","toolSummaryForCmd.searchingForFiles":"<verb>Otsitakse</verb> faile","toolSummaryForCmd.searchingForInPath":"<verb>Otsitakse</verb> teemat {query} siin: {path}","traceRecording.startDetails.cancel":"Tühista","wham.diff.addComment":"Lisa kommentaare","wham.diff.binaryFile":"Binaarfaili ei näidata","wham.diff.noContent":"Sisu puudub","wham.fileTag.deleted":"Kustutatud","wham.fileTag.new":"Uus","wham.formattedRelativeDateTime.compactDaysAgo":"{value} p","wham.formattedRelativeDateTime.compactHoursAgo":"{value} t","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} k","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} n","wham.formattedRelativeDateTime.compactYearsAgo":"{value} a","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Töötame sinu ülesande kallal","wham.whamProposedTask.title":"Soovitatud ülesanne","wham.whamProposedTask.useSuggestion":"Kasuta soovitust","workspaceRootDialog.addError":"Projekti lisamine nurjus","workspaceRootDialog.cancel":"Tühista","workspaceRootDialog.confirmAdd":"Lisa projekt","workspaceRootDialog.confirmPick":"Kasuta projekti","workspaceRootDialog.description":"Sisesta asukoht ({host}), mida kasutada projektina.","workspaceRootDialog.pathLabel":"Projekti asukoht","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Lisa projekti asukoht","workspaceRootDialog.title.pick":"Vali projekti asukoht","worktreeInitV2.cancel":"Tühista","worktreeInitV2.notification.failedTitle":"Tööpuu seadistamine nurjus","worktreeInitV2.output.empty":"Väljundi ootamine...","worktreeInitV2.status.error":"Tööpuu seadistamine nurjus.","worktreeInitV2.status.running":"Tööpuu loomine ja seadistamine.","worktreeInitV2.status.runningFork":"Tööpuu loomine selle vestluse harkimiseks","worktreeInitV2.status.success":"Tööpuu on valmis.","worktreeInitV2.title":"Tööpuu loomine","worktreeInitV2.workLocallyInstead":"Tööta kohalikus keskkonnas","worktreeRestoreBanner.body":"Selle lõime tööpuu eemaldati kettaruumi säästmiseks","worktreeRestoreBanner.missing.body":"Selle lõime töökataloogi pole enam","worktreeRestoreBanner.missing.title":"Töökataloog puudub","worktreeRestoreBanner.restore.error":"Tööpuu taastamine nurjus: {message}","worktreeRestoreBanner.restore.success":"Tööpuu taastatud","worktreeRestoreBanner.restoreCta":"Taasta tööpuu","worktreeRestoreBanner.title":"Tööpuu puhastatud"};Object.assign(e,globalThis.codexI18nOverrides?.["et-EE"]);export{e as default};
 //# sourceMappingURL=et-EE-DNWKeMhQ.js.map
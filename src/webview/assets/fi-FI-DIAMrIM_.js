@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopioi","app.sidebar.hide":"Piilota sivupalkki","app.sidebar.show":"Näytä sivupalkki","app.sidebar.tooltip":"Valitse sivupalkki","appHeader.installUpdate":"Päivitä","appSunset.body":"Tätä sovelluksen versiota ei enää tueta. Lataa uusin versio <here>täältä</here>.","appSunset.title":"Vaatii päivityksen","automation.updateDirective.create":"Luo","automation.updateDirective.open":"Avaa","automation.updateDirective.untitled":"Nimetön automaatio","automation.updateDirective.update":"Päivitä","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# yritys} other {# yritystä}}","cloudTaskRow.archiveError":"Tehtävän arkistointi epäonnistui","code.diff.requestChange":"Pyydä muutosta","code.diffComment.cancel":"Peruuta","code.diffComment.comment":"Kommentti","code.diffComment.delete":"Poista","code.diffComment.save":"Tallenna","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Mitään tuloksia ei raportoitu.","codex.alert.closeAriaLabel":"Sulje","codex.appUpsellBanner.cbpApi.message":"Rakenna nopeammin Codex-sovelluksella. Lataa nyt tai {learnMoreLink}.","codex.appUpsellBanner.download":"Lataa","codex.appUpsellBanner.freeGo.message":"Codex sisältyy pakettiisi 2. maaliskuuta asti. Kokeile Codex-sovellusta rakentaaksesi nopeammin.","codex.appUpsellBanner.later":"Myöhemmin","codex.appUpsellBanner.learnMoreLowercase":"lue lisää","codex.appUpsellBanner.new":"Uusi","codex.appUpsellBanner.proPlusBusiness.message":"Kokeile Codex-sovellusta kaksinkertaisella käyttörajalla 2. huhtikuuta asti. Lataa nyt tai {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-sovellus","codex.applyDropdown.header.changes":"Muutokset","codex.applyDropdown.header.fileCount":"{count, plural, one {# tiedosto} other {# tiedostoa}}","codex.applyDropdown.header.rows":"riviä","codex.applyDropdown.header.title":"Tee muutokset","codex.applyDropdown.header.workspace":"Projekti","codex.applyDropdown.results.conflicted":"{count, plural, one {Konflikti 1 tiedostossa:} other {Konflikti {count} tiedostossa:}}","codex.applyDropdown.results.empty":"Tiedostoja ei kopioitu","codex.applyDropdown.results.skipped":"{count, plural, one {1 tiedosto ohitettiin:} other {{count} tiedostoa ohitettiin:}}","codex.applyOrRevertBanner.apply":"Sovella","codex.applyOrRevertBanner.applyMessage":"Tehdäänkö muutokset ja jatketaan paikallisesti?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Tämä tehtävä tehtiin kohteessa {environment}, eikä välttämättä sovellu puhtaasti.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Kohteessa {environment} tehdyt muutokset eivät välttämättä sovellu puhtaasti.","codex.applyOrRevertBanner.reapply":"Tee uudelleen","codex.applyOrRevertBanner.revert":"Palauta","codex.applyOrRevertBanner.revertMessage":"Perutaanko tehdyt muutokset?","codex.applyResultsDialog.applied":"Soveltui puhtaasti ({count})","codex.applyResultsDialog.close":"Sulje","codex.applyResultsDialog.conflicted":"Konflikteja ({count})","codex.applyResultsDialog.noDetails":"Tiedoston tiedot eivät ole saatavilla.","codex.applyResultsDialog.skipped":"Ohitettiin ({count})","codex.applyResultsDialog.title":"Sovella tulokset","codex.archiveInfo":"Näytä arkistoidut keskustelut kohteessa {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Tiedonhallinta","codex.archiveInfo.electron":"Näytä arkistoidut keskustelut kohteessa {settingsLink}","codex.archiveInfo.extension":"Näytä arkistoidut keskustelut .codex-kansiossa.","codex.archiveInfo.settingsLink":"Asetukset","codex.banner.content.description":"Suorita tehtäviä rinnakkain, seuraa edistymistä kaikkialla ja tarkasta pull-pyyntöjä tekoälyllä.","codex.banner.content.headline":"Codex tekee kaiken.","codex.cloudTaskRow.archiveTask":"Arkistoi tehtävä","codex.cloudTaskRow.confirmArchiveTask":"Vahvista","codex.command.feedback":"Palaute","codex.command.findInThread":"Etsi","codex.command.forceReloadSkills":"Pakota taitojen uudelleenlataus","codex.command.logOut":"Kirjaudu ulos","codex.command.manageTasks":"Tehtävien hallinta","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Takaisin","codex.command.navigateForward":"Lähetä eteenpäin","codex.command.newThread":"Uusi ketju","codex.command.nextThread":"Seuraava ketju","codex.command.openFolder":"Avaa kansio","codex.command.openSkills":"Siirry taitoihin","codex.command.openThreadOverlay":"Avaa ketju erikseen","codex.command.personalitySettings":"Persoonallisuus","codex.command.previousThread":"Edellinen ketju","codex.command.settings":"Asetukset","codex.command.toggleDiffPanel":"Valitse muutosraportin paneeli","codex.command.toggleSidebar":"Valitse sivupalkki","codex.command.toggleTerminal":"Vaihda terminaali","codex.commandGroup.app":"Sovellus","codex.commandGroup.configure":"Määritä","codex.commandGroup.navigation":"Navigointi","codex.commandGroup.panels":"Paneelit","codex.commandGroup.skills":"Taidot","codex.commandGroup.thread":"Ketju","codex.commandGroup.workspace":"Projekti","codex.commandMenu.noResults":"Ei osumia","codex.commandMenu.searchPlaceholder":"Hakukomennot","codex.commandMenu.suggestedGroup":"Ehdotettu","codex.commandMenu.switchWorkspace":"Vaihda projektia","codex.commandMenu.title":"Komentovalikko","codex.common.retry":"Yritä uudelleen","codex.composer.searchBranches":"Hae haaroista","codex.dialog.basic.body":"Tämä on yksinkertainen modaali-ikkuna, joka käyttää käärettämme Radix-ikkunan ympärillä.","codex.dialog.basic.cancel":"Peruuta","codex.dialog.basic.confirm":"Vahvista","codex.dialog.basic.open":"Avaa ikkuna","codex.dialog.basic.title":"Esimerkki-ikkuna","codex.dialog.long.close":"Sulje","codex.dialog.long.line":"Selattava rivi {index} ikkunan sisällä olevan pitkän sisällön demonstroimiseksi.","codex.dialog.long.open":"Avaa pitkä ikkuna","codex.dialog.long.title":"Pitkän sisällön ikkuna","codex.dialog.unstyled.body":"Tämä tarina näyttää, miten soittajat voivat hallita täysin ikkunan sisältötyyliä.","codex.dialog.unstyled.open":"Avaa tyylittelemätön ikkuna","codex.dialog.unstyled.title":"Tyylittelemätön sisältö","codex.diff.openInEditorPrompt.openButton":"Avaa editorissa","codex.diff.openInEditorPrompt.singleLine":"Tiedosto on liian suuri näytettäväksi täällä.","codex.diffView.failedToDecodeBase64Diff":"Base64-muutosraportin dekoodaus epäonnistui","codex.diffView.filesChanged":"{fileCount, plural, one {# tiedosto muutettu} other {# tiedostoa muutettu}}","codex.diffView.imagePreviewAlt":"Kuvien esikatselu","codex.diffView.imagePreviewEmpty":"Ei kuvaa","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Ei muutosraporttitietoja","codex.diffView.pdfPreview.nextPage":"Seuraava sivu","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Edellinen sivu","codex.diffView.pdfPreviewEmpty":"Ei PDF-esikatselua","codex.diffView.pdfPreviewError":"PDF-esikatselun luominen ei onnistunut","codex.diffView.richPreviewDisable":"Poista rikas esikatselu käytöstä","codex.diffView.richPreviewEnable":"Ota rikas esikatselu käyttöön","codex.diffView.richPreviewLoading":"Ladataan esikatselua...","codex.diffView.richPreviewToggle":"Valitse rikas esikatselu","codex.diffView.switchToUnified":"Vaihda yhtenäiseen muutosraporttiin","codex.environmentSelector.noEnvironment":"Ei ympäristöä","codex.environments.environmentSettings":"Ympäristön asetukset","codex.environments.learnMore":"Lue lisää","codex.environments.listError":"Ympäristöjen lataaminen epäonnistui.","codex.environments.noEnvironmentsFound":"Ympäristöjä ei löydetty","codex.environments.searchError":"Ympäristöistä hakeminen epäonnistui.","codex.errorBoundary.genericError":"Hups, tapahtui jokin virhe","codex.errorBoundary.goHome":"Yritä uudelleen","codex.file.patch.missing":"Tälle tiedostolle ei voitu luoda korjauspäivitystä.","codex.gallery.automations.cwdLabel":"Projektit","codex.gallery.automations.nameLabel":"Nimi","codex.gallery.automations.namePlaceholder":"Tee yhteenveto tehtävistä","codex.gallery.automations.promptLabel":"Kehote","codex.gallery.automations.promptPlaceholder":"Kuvaile, mitä Codexin pitäisi tehdä","codex.gallery.dialogs.automation.label":"Automaatioikkuna","codex.gallery.dialogs.basic.body":"Käytä tätä asettelua yksinkertaisille vahvistuksille tai lyhyille lomakkeille.","codex.gallery.dialogs.basic.cancel":"Peruuta","codex.gallery.dialogs.basic.confirm":"Vahvista","codex.gallery.dialogs.basic.label":"Perusikkina","codex.gallery.dialogs.basic.title":"Esimerkki-ikkuna","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Kuvaile ongelmaa","codex.gallery.dialogs.feedbackSubmission.bad":"Huono tulos","codex.gallery.dialogs.feedbackSubmission.bug":"Virhe","codex.gallery.dialogs.feedbackSubmission.good":"Hyvä tulos","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Sisällytä nykyisen Codex-istunnon lokit","codex.gallery.dialogs.feedbackSubmission.label":"Palautteen lähetys","codex.gallery.dialogs.feedbackSubmission.other":"Muu","codex.gallery.dialogs.feedbackSubmission.placeholder":"Kuvaile ongelmaa tässä","codex.gallery.dialogs.feedbackSubmission.submit":"Lähetä","codex.gallery.dialogs.feedbackSubmission.title":"Palaute","codex.gallery.dialogs.feedbackSuccess.body":"Palaute lähetetty. Jos ongelma jatkuu, avaa GitHub-ongelma tai mainitse ketjun tunniste nykyisessä avoimessa kysymyksessä:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Hylkää","codex.gallery.dialogs.feedbackSuccess.label":"Palaute onnistui","codex.gallery.dialogs.feedbackSuccess.title":"Palaute lähetetty","codex.gallery.dialogs.gitApplyResults.applied":"Soveltui puhtaasti (2)","codex.gallery.dialogs.gitApplyResults.close":"Sulje","codex.gallery.dialogs.gitApplyResults.conflicted":"Konflikteja: (1)","codex.gallery.dialogs.gitApplyResults.label":"Sovella tulokset","codex.gallery.dialogs.gitApplyResults.title":"Sovella tulokset","codex.gallery.dialogs.gitPushError.body":"Hae viimeisimmät muutokset tai pakota push-lähetys, jos tiedät, että etähistoria on turvallista korvata.","codex.gallery.dialogs.gitPushError.cancel":"Peruuta","codex.gallery.dialogs.gitPushError.force":"Pakota push-lähetys","codex.gallery.dialogs.gitPushError.label":"Push-virhe","codex.gallery.dialogs.gitPushError.subtitle":"Haarasi on alkuperäisen/pääasiallisen takana.","codex.gallery.dialogs.gitPushError.title":"Muutosten lähettäminen epäonnistui","codex.gallery.dialogs.gitRevert.cancel":"Peruuta","codex.gallery.dialogs.gitRevert.confirm":"Peruuta","codex.gallery.dialogs.gitRevert.label":"Peruuta muutokset","codex.gallery.dialogs.gitRevert.skip":"Älä kysy uudelleen","codex.gallery.dialogs.gitRevert.subtitle":"Tämä toiminto poistaa kaikki nämä muutokset.","codex.gallery.dialogs.gitRevert.title":"Peruutetaanko muutokset?","codex.gallery.dialogs.longForm.label":"Pitkän muodon ikkuna","codex.gallery.dialogs.proseModal.body":"Tätä modaalista tyyliä käytetään pidempiin ohjeisiin, perehdytykseen tai rikkaisiin sisältölohkoihin.","codex.gallery.dialogs.proseModal.close":"Sulje","codex.gallery.dialogs.proseModal.subtitle":"Jaa täällä pidempimuotoiset ohjeet tai dokumentaatio.","codex.gallery.dialogs.proseModal.title":"Proosan modaali","codex.gallery.dialogs.submitBlocked.label":"Lähetys estetty","codex.gallery.dialogs.submitBlocked.message":"Viestiäsi ei voitu lähettää, koska projekti ei ole käytettävissä.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Viestin lähettäminen ei onnistunut","codex.gallery.dialogs.title":"Ikkunat","codex.gallery.dropdown.filterPlaceholder":"Suodata kohteita","codex.gallery.dropdowns.actionRow":"Toimintorivit","codex.gallery.dropdowns.actionRow.disabled":"Toiminto poistettu käytöstä","codex.gallery.dropdowns.actionRow.primary":"Ensisijainen toiminto","codex.gallery.dropdowns.actionRow.secondary":"Toissijainen toiminto","codex.gallery.dropdowns.actionRow.trigger":"Näytä toiminnot","codex.gallery.dropdowns.basic":"Peruspudotusvalikko","codex.gallery.dropdowns.basic.newFile":"Uusi tiedosto","codex.gallery.dropdowns.basic.newFolder":"Uusi kansio","codex.gallery.dropdowns.basic.openSettings":"Avaa asetukset","codex.gallery.dropdowns.basic.title":"Pikatoiminnot","codex.gallery.dropdowns.basic.trigger":"Avaa valikko","codex.gallery.dropdowns.basic.upload":"Lähetä","codex.gallery.dropdowns.panel":"Paneelipinta","codex.gallery.dropdowns.panel.apply":"Ota käyttöön","codex.gallery.dropdowns.panel.body":"Tarkasta erot ja ota ne käyttöön projektissasi.","codex.gallery.dropdowns.panel.preview":"Esikatselu","codex.gallery.dropdowns.panel.title":"Tee muutokset","codex.gallery.dropdowns.panel.trigger":"Avaa paneeli","codex.gallery.dropdowns.search":"Haettava pudotusvalikko","codex.gallery.dropdowns.search.first":"Alfakanava","codex.gallery.dropdowns.search.second":"Beetahaara","codex.gallery.dropdowns.search.third":"Julkaisuehdotus","codex.gallery.dropdowns.search.trigger":"Suodata kohteita","codex.gallery.dropdowns.submenu":"Pudotusvalikko alivalikolla","codex.gallery.dropdowns.submenu.optionA":"Projekti alfa","codex.gallery.dropdowns.submenu.optionB":"Projekti beeta","codex.gallery.dropdowns.submenu.optionC":"Projekti gamma","codex.gallery.dropdowns.submenu.primary":"Määritä omistaja","codex.gallery.dropdowns.submenu.secondary":"Siirrä kohteeseen","codex.gallery.dropdowns.submenu.tertiary":"Arkistoi","codex.gallery.dropdowns.submenu.trigger":"Valitse toiminto","codex.gallery.dropdowns.title":"Pudotusvalikot","codex.gallery.inbox.automations.close":"Sulje","codex.gallery.inbox.automations.popover.cardTitle":"Hallitse automaatioita","codex.gallery.inbox.automations.popover.dialogTitle":"Hallitse automaatioita","codex.header.settingsTooltip":"Asetukset","codex.hunk.patch.error":"Varmentaminen ei onnistunut","codex.hunk.patch.missing":"Tälle muutososalle ei voitu luoda korjauspäivitystä.","codex.hunk.patch.partialSuccess":"Onnistui osittain","codex.hunk.patch.revertError":"Varmennuksen kumoaminen epäonnistui","codex.hunk.patch.revertSuccess":"Varmennuksen kumoaminen onnistui","codex.hunk.patch.success":"Varmentaminen onnistui","codex.legal.autonomy.details":"Lisätietoja löytyy täältä: {link}","codex.legal.autonomy.details.link":"Codex-asiakirjat","codex.legal.autonomy.title":"Päätä, miten paljon autonomiaa haluat antaa","codex.legal.backButton":"Takaisin","codex.legal.cloud.taskOne.meta":"openai/agi · 12. lokakuuta","codex.legal.cloud.taskOne.title":"Selitä varasto uudelle suunnittelijalle","codex.legal.cloud.taskThree.meta":"openai/codex · 8. lokakuuta","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Luo tumma teema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. lokakuuta","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Korjaa perehdytysvirhe","codex.legal.continue.apikey":"Jatka","codex.legal.continueButton":"Seuraava","codex.legal.copilot.details":"Käyttää Copilot-sopimustasi kaikissa mallipuheluissa, laskutuksessa ja käyttörajoissa. Codex-laajennuksen käyttöön vaikuttavat sekä {oaiTos} että {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHubin palveluehdot","codex.legal.copilot.oaiTosLink":"OpenAI Codexin palveluehdot","codex.legal.copilot.title":"Toimii GitHub Copilotilla","codex.legal.mistakes.review":"Tarkasta sen kirjoittamat koodit ja suorittamat komennot","codex.legal.mistakes.title":"Codex saattaa tehdä virheitä","codex.legal.powered.details":"Käyttää sopimuksesi käyttörajoja ja {link}","codex.legal.powered.details.link":"koulutustietoasetuksia","codex.legal.powered.title":"Toimii sinun ChatGPT-tililläsi","codex.legal.step.cloud.subtitle":"Lähetä Codexille tehtäviä taustalla suoritettavaksi, jotta voit keskittyä ja edetä nopeammin.","codex.legal.step.cloud.title":"Anna Codexille pilvessä","codex.legal.step.intro.subtitle":"Codex navigoi, muokkaa, suorittaa komentoja ja tekee testejä suoraan varastossasi. Toimii sinun ChatGPT-tililläsi.","codex.legal.step.intro.title":"Codex IDE:ssäsi","codex.legal.step.todo.subtitle":"Kirjoita TODO-kommentti ja muunna se Codex-tehtäväksi yhdellä klikkauksella.","codex.legal.step.todo.title":"Muuta TODO-komennot Codex-tehtäviksi","codex.legal.todo.heading":"// TODO: toteuta malli","codex.localConversation.closeImagePreview":"Sulje kuvan esikatselu","codex.localConversation.userImageAttachment":"Käyttäjän liite","codex.localTaskRow.archiveTask":"Arkistoi ketju","codex.localTaskRow.awaitingApproval":"Odottaa hyväksyntää","codex.localTaskRow.awaitingResponse":"Odottaa vastausta","codex.localTaskRow.confirmArchiveTask":"Vahvista","codex.loggedOut.apiKeyPrompt.cancel":"Peruuta","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Hanki API-avain","codex.loggedOut.apiKeyPrompt.inputLabel":"Kirjoita OpenAI:n API-avaimesi","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Pilvitehtävät poistettu käytöstä API-avaimella","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Pilvitehtävät poistettu käytöstä Copilotilla ja API-avaimella","codex.loggedOut.signIn":"Kirjaudu sisään ChatGPT:llä","codex.loggedOut.signIn.cancel":"Peruuta sisäänkirjautuminen","codex.loggedOut.signInWithCopilot":"Kirjaudu sisään GitHub Copilotilla","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Käytä API-avainta","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} työkalu","codex.mcpTool.collapsedLabel.verb.called":"Kutsuttu","codex.mcpTool.collapsedLabel.verb.calling":"Kutsutaan","codex.mcpTool.embeddedResource.contentLabel":"Sisältö","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-tyyppi","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Työkalu ei palauttanut sisältöä","codex.mcpTool.rawPayloadHeading":"Raaka {server}.{tool}-työkalukutsun tietosisältö","codex.menu.recent":"Viimeaikainen","codex.menu.seeAllHistory":"Näytä koko historia","codex.modelCapacityBanner.headline.noReset":"{modelName} on tällä hetkellä täynnä. Yritä myöhemmin uudelleen tai aloita uusi keskustelu toisen mallin kanssa.","codex.modelCapacityBanner.headline.withReset":"{modelName} on tällä hetkellä täynnä. Yritä myöhemmin uudelleen {resetDate}, tai aloita uusi keskustelu toisen mallin kanssa.","codex.modelCapacityBanner.title":"Valittu malli on täynnä","codex.patch.change.contentsDeleted":"Sisältö poistettu","codex.patch.change.created":"Luotu","codex.patch.change.created-file":"Tiedosto luotiin","codex.patch.change.creating":"Luodaan","codex.patch.change.deleted":"Poistettu","codex.patch.change.deleted-file":"Tiedosto poistettiin","codex.patch.change.deleting":"Poistetaan","codex.patch.change.edited":"Muokattu","codex.patch.change.edited-file":"Muokattu tiedosto","codex.patch.change.editing":"Muokkaa","codex.patch.change.noChanges":"Ei muutoksia","codex.patch.change.rejected-add":"Hylätty","codex.patch.change.rejected-delete":"Hylätty","codex.patch.change.rejected-edit":"Hylätty","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed}/{total} tehtävää valmiina","codex.plan.todoListCreated":"{total} tehtävän tehtävälista luotu","codex.profileDropdown.apiKeyAuth":"Kirjautunut sisään API-avaimella","codex.profileDropdown.codexSettings":"Codex-asetukset","codex.profileDropdown.copilotAuth":"Kirjautunut sisään Copilotilla","codex.profileDropdown.defaultAccountTitle":"Oletustili","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter lähettääksesi pitkiä kehotteita","codex.profileDropdown.enterBehaviorError":"Asetuksen päivittäminen epäonnistui","codex.profileDropdown.getPlus":"Päivitä saadaksesi korkeammat rajat","codex.profileDropdown.keyboardShortcuts":"Pikanäppäimet","codex.profileDropdown.language":"Kieli","codex.profileDropdown.languageDefault":"Automaattinen havaitseminen","codex.profileDropdown.languageSearchPlaceholder":"Hae kieliä","codex.profileDropdown.languageUpdateError":"Kielen päivittäminen epäonnistui","codex.profileDropdown.logOut":"Kirjaudu ulos","codex.profileDropdown.mcp":"MCP-asetukset","codex.profileDropdown.openConfigToml":"Avaa config.toml","codex.profileDropdown.openConfigToml.wsl":"Avaa config.toml WSL-ympäristössä","codex.profileDropdown.openExtensionSettings":"Avaa asetukset","codex.profileDropdown.openMcpSettings":"Avaa MCP-asetukset","codex.profileDropdown.openOnStartup":"Avaa käynnistyksen yhteydessä","codex.profileDropdown.openOnStartupError":"Asetuksen päivittäminen epäonnistui","codex.profileDropdown.openSkillsSettings":"Avaa Taidot-asetukset","codex.profileDropdown.personalAccountTitle":"Henkilökohtainen tili","codex.profileDropdown.queueFollowUps":"Aseta jatkotoimet jonoon","codex.profileDropdown.queueFollowUpsError":"Asetuksen päivittäminen epäonnistui","codex.profileDropdown.readDocs":"Lue asiakirjat","codex.profileDropdown.readSkillsDocs":"Lue asiakirjat","codex.profileDropdown.runInWsl":"Suorita WSL:ssä","codex.profileDropdown.runInWslError":"Asetuksen päivittäminen epäonnistui","codex.profileDropdown.runInWslTooltip":"Suorittaa Codexia WSL:n sisällä. Suositellaan paremman tietoturvan ja suorituskyvyn saavuttamiseksi hiekkalaatikossa.","codex.profileDropdown.settings":"IDE-asetukset","codex.profileDropdown.settingsPage":"Asetukset","codex.profileDropdown.signInWithOpenAI":"Kirjaudu sisään ChatGPT:llä","codex.profileDropdown.skills":"Taidot-asetukset","codex.profileDropdown.switchToCopilotAccount":"Käytä Copilot-tiliä","codex.profileDropdown.switchToOpenAIAccount":"Käytä OpenAI-tiliä","codex.profileDropdown.todoCodelens":"Korjaa TODO-kommentit","codex.profileDropdown.todoCodelensError":"Asetuksen päivittäminen epäonnistui","codex.profileDropdown.windowsDocumentation":"Windowsin asiakirja","codex.profileFooter.signedInFallback":"Asetukset","codex.profileFooter.upgrade":"Päivitä","codex.recentTasksMenu.clearSearch":"Tyhjennä haku","codex.recentTasksMenu.cloud":"Pilvi-tehtävät","codex.recentTasksMenu.count":"{count, plural, =0 {Ei tehtäviä työn alla} one {# tehtävä työn alla} other {# tehtävää työn alla}}","codex.recentTasksMenu.empty":"Ei vielä ketjuja","codex.recentTasksMenu.errorCloud":"Tehtävien lataaminen epäonnistui.","codex.recentTasksMenu.errorCloud.inline":"Pilvi-tehtävien lataaminen epäonnistui.","codex.recentTasksMenu.filterAll":"Kaikki","codex.recentTasksMenu.filterCloudTasks":"Suodata pilvi-tehtävät","codex.recentTasksMenu.filterTooltip":"Suodata tehtäviä ympäristön mukaan","codex.recentTasksMenu.local":"Paikalliset tehtävät","codex.recentTasksMenu.recent":"Kaikki tehtävät","codex.recentTasksMenu.search":"Hae viimeaikaisia tehtäviä","codex.recentTasksMenu.searchEmpty":"Ei tulosta","codex.recentTasksMenu.tooltip":"Tehtävähistoria","codex.recentTasksMenu.trigger":"Viimeaikaiset tehtävät. {count, plural, one {# käynnissä} other {# käynnissä}}","codex.remoteConversation.applyDiff.applyCta":"Tee muutokset","codex.remoteConversation.applyDiff.dropdownTitle":"Tee muutokset paikalliseen haaraan","codex.remoteConversation.applyDiff.revertCta":"Peruuta muutokset","codex.remoteConversation.closeImagePreview":"Sulje kuvan esikatselu","codex.remoteConversation.codexCloudTask":"Tarkastelet <u>Codex Cloud</u> -tehtävää","codex.remoteConversation.errorWithMessage":"Virhe: {message}","codex.remoteConversation.loadingImage":"Ladataan kuvaa","codex.remoteConversation.openInWeb":"Avaa verkossa","codex.remoteConversation.streaming":"Aloittaminen","codex.remoteConversation.turnFailed":"Tämän tehtävän aikana tapahtui virhe","codex.remoteConversation.turnTab.loading":"{number}. yritys","codex.remoteConversation.turnTab.title":"{number}. yritys","codex.remoteConversation.userImageAttachment":"Käyttäjän liite","codex.remoteConversation.viewPreviousTurns":"Avaa verkossa","codex.remoteConversation.viewPreviousTurns.buttonText":"Avaa","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Avaa verkossa","codex.review.copyGitApplyCommand":"Kopioi git apply -komento","codex.review.copyGitApplyCommand.toast":"Git apply -komento kopioitiin leikepöydälle","codex.review.diffTooLarge.description":"Tämä ero on liian suuri näytettäväksi tarkastuksessa.","codex.review.diffTooLarge.title":"Ero on liian suuri näytettäväksi","codex.review.expandOrCollapseDiffButton.collapse":"Kutista kaikki muutosraportit","codex.review.expandOrCollapseDiffButton.expand":"Laajenna kaikki muutosraportit","codex.review.expandOrCollapseDiffMenu.collapse":"Kutista kaikki muutosraportit","codex.review.expandOrCollapseDiffMenu.expand":"Laajenna kaikki muutosraportit","codex.review.fileSearch.clear":"Tyhjennä tiedostosuodatin","codex.review.fileSearch.empty":"Mikään tiedosto ei vastaa nykyistä suodatinta.","codex.review.fileSearch.label":"Suodata tiedostot","codex.review.fileSearch.placeholder":"Suodata tiedostoja...","codex.review.filesChanged":"{num, plural, =0 {Tiedostoja ei muutettu} one {# tiedosto muutettu} other {# tiedostoa muutettu}}","codex.review.find.loadMore":"Lataa lisää osumia","codex.review.fullReview.hideFileTree":"Piilota tiedostopuu","codex.review.fullReview.showFileTree":"Näytä tiedostopuu","codex.review.header.moreOptions":"Tarkista vaihtoehdot","codex.review.largeDiff.banner":"Suuri ero havaittu – näytetään yksi tiedosto kerrallaan.","codex.review.loadFullFiles.disable":"Älä lataa täysiä tiedostoja","codex.review.loadFullFiles.enable":"Lataa täydet tiedostot","codex.review.noDiff":"Koodin muutokset näkyvät tässä","codex.review.noDiff.gitInit.createRepository":"Luo Git-varasto","codex.review.noDiff.gitInit.creating":"Luodaan...","codex.review.noDiff.gitInit.error":"Gitin alustus epäonnistui: {message}","codex.review.noDiff.gitInit.success":"Git-varasto luotu","codex.review.noDiff.gitRepoRequired.description":"Seuraa ja peru muutoksia tässä projektissa","codex.review.noDiff.gitRepoRequired.title":"Luo Git-varasto","codex.review.noDiff.orNoLongerAvailable":"tai viimeisimmät muutosraportit eivät ole enää käytettävissä","codex.review.noDiff.reverted":"Viimeinen vuoro on palautettu","codex.review.noDiff.revertedOrCommitted":"Viimeinen vuoro on joko peruutettu tai vahvistettu.","codex.review.refreshGitQueries":"Päivitä","codex.review.revert.file.error":"Kohteen {path} peruuttaminen epäonnistui","codex.review.revert.file.partialSuccess":"{path} osittain palautettu","codex.review.revert.file.success":"{path} palautettu","codex.review.revert.hunk.error":"Muutososion {hunkNumber} palauttaminen kohteeseen {path} epäonnistui","codex.review.revert.hunk.partialSuccess":"Muutososio {hunkNumber} palautettiin osittain kohteeseen {path}","codex.review.revert.hunk.success":"Muutososio {hunkNumber} palautettiin kohteeseen {path}","codex.review.revert.section.error":"Osion palauttaminen epäonnistui","codex.review.revert.section.partialSuccess":"Osio osittain palautettu","codex.review.revert.section.success":"Osio palautettu","codex.review.revertDialog.cancel":"Peruuta","codex.review.revertDialog.confirm":"Vahvista","codex.review.revertDialog.message":"Tämä toiminto poistaa kaikki nämä muutokset.","codex.review.revertDialog.skip":"Älä kysy uudelleen","codex.review.revertDialog.title":"Peruutetaanko muutokset?","codex.review.richPreview.disable":"Poista rikas esikatselu käytöstä","codex.review.richPreview.enable":"Ota rikas esikatselu käyttöön","codex.review.source.cloud":"Pilven muutokset","codex.review.source.local.all":"Kaikki haaran muutokset","codex.review.source.local.lastTurn":"Viimeisimmän vuoron muutokset","codex.review.source.local.uncommitted":"Vahvistamattomat muutokset","codex.review.source.worktree":"Vahvistamattomat työpuun muutokset","codex.review.stageFilter.empty.staged.description":"Hyväksy muokkaukset, jotta ne voidaan varmentaa","codex.review.stageFilter.empty.staged.title":"Ei varmennettuja muutoksia","codex.review.stageFilter.empty.unstaged.description":"Koodin muutokset näkyvät tässä","codex.review.stageFilter.empty.unstaged.title":"Ei varmentamattomia muutoksia","codex.review.stageFilter.staged":"Varmennetut","codex.review.stageFilter.staged.count":"Varmennetut · {count}","codex.review.stageFilter.unstaged":"Varmennus kumottu","codex.review.stageFilter.unstaged.count":"Varmennus kumottu · {count}","codex.review.switchToSplit":"Vaihda ositettuun muutosraporttiin","codex.review.switchToUnified":"Vaihda yhtenäiseen muutosraporttiin","codex.review.toggleDiffView":"Valitse muutosraportin näkymä","codex.review.wordDiffs.disable":"Poista sanatasoiset erot käytöstä","codex.review.wordDiffs.enable":"Ota sanatasoiset erot käyttöön","codex.review.wrap.disable":"Poista automaattinen rivinvaihto käytöstä","codex.review.wrap.enable":"Ota automaattinen rivinvaihto käyttöön","codex.section.patch.missing":"Tälle osiolle ei voitu luoda muutospäivitystä.","codex.shell.collapse":"Kutista komentotulkki","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Komentotulkin kopioitu sisältö","codex.shell.copy.copyTooltip":"Kopioi komentotulkin sisältö","codex.shell.copyCommand":"Kopioi komento","codex.shell.copyOutput":"Kopioi tuotos","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Laajenna komentotulkki","codex.shell.name":"Komentotulkki","codex.shell.noOutput":"Ei tuotosta","codex.signInFailed.message":"Sisäänkirjautuminen epäonnistui: {rawMessage}","codex.stories.toast.show":"Näytä toast","codex.stories.tooltip.basic":"Tämä on työkaluvinkki","codex.stories.tooltip.hoverMe":"Siirrä osoitin päälleni","codex.stories.tooltip.largerOffset":"Tämän työkaluvinkin siirtymä on suurempi","codex.stories.tooltip.offsetButton":"Suurempi siirtymä","codex.stories.tooltip.shortcutButton":"Sisältää pikanäppäimen","codex.stories.tooltip.withShortcut":"Vaihda terminaali","codex.taskRow.title":"Uusi ketju","codex.taskRowLayout.confirm":"Vahvista","codex.threadFindBar.chatFilter":"Hae keskustelusta","codex.threadFindBar.close":"Sulje etsi","codex.threadFindBar.diffFilter":"Etsi muutoksia","codex.threadFindBar.label":"Etsi ketjussa","codex.threadFindBar.nextResult":"Seuraava tulos","codex.threadFindBar.noResults":"0 tulosta","codex.threadFindBar.placeholder":"Etsi ketju…","codex.threadFindBar.placeholder.extension":"Etsi ketju…","codex.threadFindBar.placeholder.review":"Etsi muutoksia...","codex.threadFindBar.placeholder.review.extension":"Etsi muutoksia...","codex.threadFindBar.previousResult":"Edellinen tulos","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# tiedosto muutettu} other {# tiedostoa muutettu}}","codex.unifiedDiff.inlineLargeFile":"Liian suuri renderöitäväksi rivinsisäisessä muodossa","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Kumoa","codex.unifiedDiff.revertPatchError":"Muutosten peruuttaminen epäonnistui","codex.unifiedDiff.revertPatchSuccess":"Muutokset peruutettu","codex.unifiedDiff.reviewChangesSuffix":"muutokset","codex.unifiedDiff.reviewShort":"Tarkasta","codex.unifiedDiff.viewDiffTooltip":"Tarkasta","codex.upsellBanner.business.headline":"Jos haluat lisää käyttöoikeutta nyt, lähetä pyyntö ylläpitäjälle tai odota {resetDate} asti.","codex.upsellBanner.cbp.headline":"Jos haluat lisää käyttöoikeutta nyt, lähetä pyyntö ylläpitäjälle.","codex.upsellBanner.cta.addCredits":"Lisää krediittejä","codex.upsellBanner.cta.upgradeAccount":"Päivitä","codex.upsellBanner.cta.viewUsage":"Näytä käyttö","codex.upsellBanner.free.trialHeadline":"Käyttörajoituksesi nollautuu {resetDate}. Aloita Plus‑version ilmainen kokeilujakso jo tänään, niin voit jatkaa Codexin käyttöä ja saada GPT-5.3-Codexin käyttöösi.","codex.upsellBanner.freeOrGo.headline":"Hintarajasi nollautuu {resetDate}. Jatkaaksesi Codexin käyttöä, päivitä Plus-versioon jo tänään.","codex.upsellBanner.general.headline":"Hintarajasi nollautuu {resetDate}.","codex.upsellBanner.general.title":"Et voi lähettää Codex-viestejä","codex.upsellBanner.go.trialHeadline":"Käyttörajoituksesi nollautuu {resetDate}. Jatka Codexin käyttöä aloittamalla Plus‑palvelun ilmainen kokeilujakso tänään.","codex.upsellBanner.plus.headline":"Hintarajasi nollautuu {resetDate}. Jatkaaksesi Codexin käyttöä lisää krediittejä tai päivitä Pro-versioon jo tänään.","codex.upsellBanner.pro.headline":"Hintarajasi nollautuu {resetDate}. Lisää krediittejä jatkaaksesi Codexin käyttöä nyt.","codex.userMessage.autoResolveSync":"Ristiriitojen automaattinen ratkaiseminen","codex.userMessage.commentCount":"{count, plural, one {# kommentti} other {# kommenttia}}","codex.userMessage.copiedAriaLabel":"Kopioitu","codex.userMessage.copiedTooltip":"Kopioitu","codex.userMessage.copyAriaLabel":"Kopioi viesti","codex.userMessage.copyTooltip":"Kopioi","codex.userMessage.implementPlan":"Toteuta suunnitelma","codex.userMessage.noContent":"(Ei sisältöä)","codex.userMessage.priorConversation":"Viittaa aiempaan keskusteluun","codex.userMessage.reviewMode":"Tarkastustila","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"kohteelle {query}","codex.webSearch.summary.verb.completed":"Haettiin verkosta","codex.webSearch.summary.verb.inProgress":"Haetaan verkosta","codex.windowsInstallWslBanner.dismiss":"Hylkää","codex.windowsInstallWslBanner.installWslCta":"Ota käyttöön hiekkalaatikko","codex.windowsInstallWslBanner.learnMore":"Lue lisää","codex.windowsSandboxBanner.content":"Agenttitila käyttää Windowsissa kokeellista hiekkalaatikkoa rajoittamaan tiedostojärjestelmän ja verkon käyttöä. {sandboxLink}","codex.windowsSandboxBanner.title":"Ota käyttöön hiekkalaatikko agenttitilaa varten","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-asetukset","codexUpgradeModal.body":"Uusin etulinjan agenttipohjainen koodausmallimme – älykkäämpi, nopeampi ja osaavampi yleisessä teknisessä työssä. {link}","codexUpgradeModal.close":"Sulje","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Lue lisää","codexUpgradeModal.title":"Esittelyssä GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Kokeile nyt GPT-5.3-Codexia","codexUpgradeModal.useExistingModel":"Jatka nykyisellä mallilla","commentAttachments.numComments":"{count, plural, one {# kommentti} other {# kommenttia}}","commentAttachments.removeAriaLabel":"Poista kommenttien liitteet","common.close":"Sulje","composer.addContext.openFilePickerError":"Tiedostovalitsimen avaaminen ei onnistunut","composer.addContextDropdown.ariaLabel":"Lisää tiedostoja ynnä muuta","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Lisää tiedostoja ynnä muuta","composer.addPhotosAndFiles":"Lisää valokuvia & tiedostoja","composer.atMentionList.emptyQuery":"Kirjoita hakeaksesi tiedostoja","composer.atMentionList.loading":"Haetaan...","composer.atMentionList.noResults":"Ei tuloksia","composer.attemptsSelector.option":"{count, plural, one {# versio} other {# versiota}}","composer.attemptsSelector.tooltip":"Codexin rinnakkaisten yritysten määrä","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Lopeta","composer.cloudFollowUp.cloud":"Pilvi","composer.cloudFollowUp.local":"Paikallinen","composer.cloudFollowUp.whereRun":"Missä tämä jatko tulisi suorittaa?","composer.cloudTaskCreationError":"Virhe pilvi-tehtävän luomisessa","composer.cloudTaskError":"Virhe tehtävän luomisessa","composer.contextWindow.autoCompactionTooltipLine1":"Codex tiivistää automaattisesti kontekstinsa","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Konteksti-ikkuna:","composer.contextWindowUsageStatusFull":"{usage} % täynnä","composer.contextWindowUsageStatusLeft":"{usage} % käytetty ({remaining} % jäljellä)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokenia käytetty","composer.customCliTooltip":"Käytössä mukautettu CLI-ajotiedosto","composer.dictation.aria":"Sanele","composer.dictation.cancel.aria":"Lopeta sanelu","composer.dictation.cancel.tooltip":"Lopeta sanelu","composer.dictation.startError":"Sanelua ei voi aloittaa","composer.dictation.submit.aria":"Litteroi ja lähetä","composer.dictation.submit.tooltip":"Litteroi ja lähetä","composer.dictation.tooltip":"Pidä painettuna sanellaksesi","composer.dictation.transcribeError":"Äänen litterointi ei onnistu","composer.dictation.unsupported":"Sanelu ei ole käytettävissä tällä laitteella","composer.dropOverlay.holdShift":"Pudota pitämällä {key} painettuna","composer.dropOverlay.shiftKey":"Vaihtonäppäin","composer.environmentSelector.createNew":"Luo uusi","composer.environmentSelector.error":"Virhe ympäristöjen lataamisessa","composer.environmentSelector.goBack":"Takaisin muokkaimeen","composer.environmentSelector.title":"Valitse ympäristö","composer.environmentSelector.tooltip":"Valitse pilviympäristö","composer.feedbackSlashCommand.title":"Palaute","composer.filePicker.selectFile":"Valitse tiedosto","composer.filePicker.selectFiles":"Valitse tiedostot","composer.followerTooltip":"Jatka palaamalla keskustelun aloitusikkunaan.","composer.footer.branchSwitch.checkoutError":"Haaran vaihtaminen epäonnistui: {message}","composer.footer.branchSwitch.createAndCheckout":"Luo uusi haara ja ota muokattavaksi…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Vahvista muutokset ja luo ja ota muokattavaksi uusi haara","composer.footer.branchSwitch.createBranchError":"Haaran luominen epäonnistui: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Haaran nimi","composer.footer.branchSwitch.createDialog.branchExistsError":"Haara on jo olemassa.","composer.footer.branchSwitch.createDialog.close":"Sulje","composer.footer.branchSwitch.createDialog.createAndCheckout":"Luo ja ota muokattavaksi","composer.footer.branchSwitch.createDialog.placeholder":"uusi-haara","composer.footer.branchSwitch.createDialog.title":"Luo haara ja ota muokattavaksi","composer.footer.branchSwitch.createDialog.trailingSlashError":"Haaran nimi ei voi päättyä /.","composer.footer.branchSwitch.tooltip":"Vaihda haaraa","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Vahvista muutokset {fileCount, plural, one {# tiedosto} other {# tiedostoa}} tarkistaaksesi {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Kommitoi","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"muutokset kohdassa {fileCount, plural, one {# tiedosto} other {# tiedostoa}} tarkistaaksesi kohteen {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Peruuta","composer.footer.branchSwitch.uncommittedDialog.commit":"Vahvista ja vaihda haara…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Seuraaviin tiedostoihin tekemäsi muutokset korvataan tarkistuksen yhteydessä:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Vahvista muutokset jatkaaksesi","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"valittu haara","composer.footer.branchSwitch.uncommittedDialog.title":"Tallenna muutokset haaran vaihtamiseksi","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Vahvistamattomat: {fileCount, plural, one {# tiedosto} other {# tiedostoa}}","composer.forkSlashCommand.description":"Haaroita tämä ketju paikalliseen tai uuteen työpuuhun","composer.forkSlashCommand.option.local.description":"Jatka uudessa paikallisessa ketjussa","composer.forkSlashCommand.option.local.title":"Haaroita paikalliseen","composer.forkSlashCommand.option.worktree.description":"Jatka uudessa työpuussa","composer.forkSlashCommand.option.worktree.title":"Haaroita uuteen työpuuhun","composer.forkSlashCommand.title":"Haarauta","composer.ideContextIndicator":"IDE-konteksti","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Sisällytä IDE-konteksti","composer.ideContextIndicator.tooltipToggle":"vaihtaaksesi","composer.ideContextSlashCommand.disableDescription":"Poista IDE-konteksti käytöstä","composer.ideContextSlashCommand.enableDescription":"Sisällytä nykyinen valinta ja avaa tiedostot ja muu konteksti IDE:stä","composer.ideContextSlashCommand.title":"IDE-konteksti","composer.imageInputsUnsupported":"Tämä malli ei tue kuvasyötteitä. Kokeile toista mallia.","composer.imageUploadFailed":"Kuvan lähettäminen epäonnistui","composer.includeIdeContextDropdown":"Sisällytä IDE-konteksti","composer.includeIdeContextDropdown.ariaLabel":"Sisällytä IDE-konteksti","composer.localCwdDropdown.addWorkspaceRoot":"Lisää uusi projekti","composer.localCwdDropdown.noActiveRoot":"Valitse projektisi","composer.localCwdDropdown.noResults":"Kansioita ei löydetty","composer.localCwdDropdown.title":"Valitse projektisi","composer.localTaskError":"Virhe keskustelun aloittamisessa","composer.mcpSlashCommand.description":"Näytä MCP-palvelimen tila","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Ei todennettu","composer.mcpStatus.authOauth":"Todennettu (OAuth)","composer.mcpStatus.authToken":"Todennettu (API-avain)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Sulje","composer.mcpStatus.disabled":"Ei käytössä","composer.mcpStatus.emptyLabel":"Palvelimet:","composer.mcpStatus.emptyValue":"Ei määritettyjä MCP-palvelimia","composer.mcpStatus.enabled":"Käytössä","composer.mcpStatus.errorLabel":"Tila:","composer.mcpStatus.errorValue":"MCP-tilaa ei voitu ladata","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agentti","composer.mode.agentMode.auto.dropdownLabel":"Agentti","composer.mode.agentMode.auto.optionLabel":"Agentti","composer.mode.agentMode.changePermission":"Vaihda tilaa","composer.mode.agentMode.custom":"Mukautettu","composer.mode.agentMode.custom.dropdownLabel":"Mukautettu","composer.mode.agentMode.custom.option":"Mukautettu (config.toml)","composer.mode.agentMode.custom.optionLabel":"Mukautettu (config.toml)","composer.mode.agentMode.customInfo.cancel":"Peruuta","composer.mode.agentMode.customInfo.cli":"Voit säätää asetuksia komentoliittymän kautta tai muokkaamalla tiedostoa suoraan.","composer.mode.agentMode.customInfo.confirm":"Käytä mukautettua tilaa","composer.mode.agentMode.customInfo.description":"Mukautettu tila käyttää hyväksyntä- ja hiekkalaatikkokäytäntöjä, jotka on määritetty <link>config.toml</link>-tiedostossasi.","composer.mode.agentMode.customInfo.docs":"Voit lukea lisää hyväksyntä- ja hiekkalaatikkokäytäntöjen määrittämisestä <link>suoritusympäristöjen asiakirjoista</link>.","composer.mode.agentMode.customInfo.refresh":"Muutokset tulevat voimaan, kun agentti käynnistetään seuraavan kerran.","composer.mode.agentMode.customInfo.title":"Näin mukautettu tila toimii","composer.mode.agentMode.fullAccess":"Agentti (täysi käyttöoikeus)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agentti (täysi käyttöoikeus)","composer.mode.agentMode.fullAccess.optionLabel":"Agentti (täysi käyttöoikeus)","composer.mode.agentMode.fullAccessConfirm.caution":"Ole varovainen, kun annat täyden käyttöoikeuden. Se lisää merkittävästi tietojen menetyksen, vuotojen ja odottamattoman toiminnan riskiä.","composer.mode.agentMode.fullAccessConfirm.confirm":"Jatka siitä huolimatta","composer.mode.agentMode.fullAccessConfirm.description":"Kun Codexilla on täysi käyttöoikeus, se voi muokata mitä tahansa tietokoneellasi olevaa tiedostoa ja suorittaa komentoja verkon kautta ilman hyväksyntääsi.","composer.mode.agentMode.fullAccessConfirm.goBack":"Peruuta","composer.mode.agentMode.fullAccessConfirm.title":"Annetaanko täysi käyttöoikeus?","composer.mode.agentMode.readOnly":"Keskustelu","composer.mode.agentMode.readOnly.dropdownLabel":"Keskustelu","composer.mode.agentMode.readOnly.optionLabel":"Keskustelu","composer.mode.agentMode.tooltip":"Vaihda tilaa","composer.mode.agentMode.tooltip.auto":"Lue ja muokkaa tiedostoja, ja suorita komentoja.","composer.mode.agentMode.tooltip.custom":"Käytä uusimpia config.toml-tiedostossa määritettyjä hyväksyntä- ja hiekkalaatikkokäytäntöjä.","composer.mode.agentMode.tooltip.fullAccess":"Codex voi muokata tiedostoja tämän projektin ulkopuolella ja suorittaa komentoja verkkoyhteydellä. Ole varovainen käyttäessäsi sitä.","composer.mode.agentMode.tooltip.readOnly":"Vaatii hyväksynnän tiedostojen muokkaamiselle ja komentojen suorittamiselle.","composer.mode.cloud.tooltip":"Työskentele pilviympäristössä","composer.mode.contactAdmin":"Jos haluat lisää käyttöoikeutta, ota yhteyttä ylläpitäjääsi","composer.mode.local":"Paikallinen","composer.mode.local.learnMore":"Lue lisää","composer.mode.local.model.custom":"Mukautettu","composer.mode.local.model.loadingModel":"Latausmalli","composer.mode.local.model.selecrReasoningEffort":"Valitse päättely","composer.mode.local.model.selectModel":"Valitse malli","composer.mode.local.model.tooltip":"Valitse malli","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Korkea","composer.mode.local.reasoning.low.label":"Matala","composer.mode.local.reasoning.medium.label":"Keskitaso","composer.mode.local.reasoning.minimal.label":"Minimaalinen","composer.mode.local.reasoning.none.label":"Ei mitään","composer.mode.local.reasoning.xhigh.label":"Erittäin korkea","composer.mode.localRemoteWhereRun":"Valitse, missä tehtävä suoritetaan","composer.mode.newTask.header":"Jatka kohteessa","composer.mode.rateLimit.day":"{days} pv","composer.mode.rateLimit.heading":"Käyttörajoja jäljellä","composer.mode.rateLimit.hour":"{hours} t","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Mallin {modelName} raja:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {viikkoraja} other {{weeks} viikon raja}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Joka viikko} other {{weeks} viikon}}","composer.mode.remote.connectToCloud":"Yhdistä Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Määritä ympäristö Codex Webin kautta, jotta voit lähettää tehtäviä pilveen","composer.mode.remote.selectEnvironment":"Valitse ympäristö","composer.mode.remote.sendToCloud":"Lähetä pilveen","composer.mode.remote.setupViaWeb":"Määritä ympäristö Codex Webin kautta","composer.mode.runInCloud":"Pilvi","composer.mode.runInCloudWithEnvironment":"Pilvi · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Työskentele pilviympäristössä","composer.mode.segmentedToggle.local.tooltip":"Työskentele paikallisessa projektissa","composer.mode.segmentedToggle.worktree.tooltip":"Työskentele rinnakkaisessa työpuussa","composer.mode.upgradeToPlus":"Päivitä Plus-versioon","composer.mode.upgradeToPro":"Päivitä Pro-versioon","composer.mode.workLocally":"Paikallinen projekti","composer.mode.workLocally.currentBranchFallback":"oma haara","composer.mode.workLocally.tooltip":"Työskentele kohteen {branchName} parissa","composer.mode.worktree":"Uusi työpuu","composer.mode.worktree.submoduleWarning":"Tämä varasto sisältää git-alimoduuleja. Työpuun luominen saattaa epäonnistua","composer.mode.worktree.tooltip":"Luo kopio paikallisesta projektista rinnakkaistyöskentelyä varten","composer.mode.worktreeSegment":"Työpuu","composer.modelChangeDuringConversationWarning.toast":"Mallin vaihtaminen muuntamisen aikana heikentää suorituskykyä.","composer.newChat.heading.browser":"Mitä meidän pitäisi koodata seuraavaksi?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex käyttää config.tomlissa määriteltyjä oikeuksia.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codexilla on tietokoneesi täysi käyttöoikeus (kohonnut riski)","composer.permissionsDropdown.custom.label":"Mukautettu (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Mukautettu (config.toml)","composer.permissionsDropdown.default.label":"Oletusoikeudet","composer.permissionsDropdown.default.optionLabel":"Oletusoikeudet","composer.permissionsDropdown.default.tooltip":"Codex suorittaa automaattisesti komentoja hiekkalaatikossa","composer.permissionsDropdown.disabled.requirements":"requirements.toml on lukinnut oikeudet","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml on poistanut täyden käyttöoikeuden käytöstä","composer.permissionsDropdown.fullAccess.label":"Täysi käyttöoikeus","composer.permissionsDropdown.fullAccess.optionLabel":"Täysi käyttöoikeus","composer.permissionsDropdown.trigger.tooltip":"Muuta käyttöoikeuksia","composer.personalitySlashCommand.description.friendly":"Lämmin, yhteistyöhaluinen ja hyödyllinen","composer.personalitySlashCommand.description.pragmatic":"Tiivis, tehtäväkeskeinen ja suora","composer.personalitySlashCommand.label.friendly":"Ystävällinen","composer.personalitySlashCommand.label.pragmatic":"Käytännöllinen","composer.personalitySlashCommand.notApplicableSuffix":"(Ei koske nykyistä mallia)","composer.personalitySlashCommand.title":"Persoonallisuus","composer.placeholder.cloudFollowUp.directFollowUp":"Tämän pilvitehtävän seuranta","composer.placeholder.cloudFollowUp.local":"Luo uusi paikallinen tehtävä, joka viittaa tähän pilvi-tehtävään","composer.placeholder.cloudFollowUp.workingTree":"Luo uusi pilvitehtävä, joka sisältää nykyisen koodisi ja viittaa tähän tehtävään","composer.placeholder.localFollowUp.cloud":"Uuden pilvitehtävän seuranta","composer.placeholder.localFollowUp.locally":"Pyydä seurannan muutoksia","composer.placeholder.newTask.cloud":"Pyydä Codexia tekemään mitä vain pilvessä","composer.placeholder.newTask.doAnything":"Pyydä Codexia tekemään mitä vain","composer.placeholder.newTask.locally":"Kysy Codexilta mitä tahansa, @ lisätäksesi tiedostoja, / komentoja varten","composer.planModeDropdown":"Sopimustila","composer.planModeDropdown.ariaLabel":"Sopimustila","composer.planModeIndicator":"Suunnittele","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Luo suunnitelma Codexin avulla","composer.planModeIndicator.tooltipToggle":"vaihtaaksesi","composer.planSlashCommand.disableDescription":"Sammuta sopimustila","composer.planSlashCommand.enableDescription":"Kytke sopimustila päälle","composer.planSlashCommand.title":"Sopimustila","composer.priorContext.label":"Aiempi konteksti","composer.priorContext.removeAriaLabel":"Poista aiempi konteksti","composer.queuedMessage.delete":"Poista jonossa oleva viesti","composer.queuedMessage.edit":"Muokkaa viestiä","composer.queuedMessage.more":"Jonossa olevat viestin toiminnot","composer.queuedMessage.sendNow":"Ohjaa","composer.queuedMessage.sendNowTooltip":"Lähetä nyt keskeyttämättä työtä","composer.queuedMessage.turnOff":"Poista jonotus käytöstä","composer.reasoningEffort.local.reasoning.tooltip":"Valitse päättelyn määrä","composer.remote.branchStartingPoint":"Mistä haarasta tämän tehtävän pitäisi alkaa?","composer.remote.branchesSectionHeading":"Haarat","composer.remote.currentEditsSuffix.followUp":"Luo uusi tehtävä, joka viittaa tähän pilvi-tehtävään.","composer.remote.currentEditsSuffix.useLocal":"paikallisilla koodimuutoksilla","composer.remote.directFollowUp":"Älä käytä paikallisia muutoksia","composer.remote.errorLoadingBranches":"Virhe haarojen lataamisessa","composer.remote.fromBranch":"Haarasta {branch}","composer.remote.fromCurrentBranch":"Haarasta {branch} (nykyinen)","composer.remote.loadingMoreBranches":"Ladataan...","composer.remote.localFileStateHeading":"Paikallisen tiedoston tila","composer.remote.localWorkingTree":"Käytä paikallisia muutoksia","composer.remote.startingPoint":"Mistä koodista tämän tehtävän pitäisi alkaa?","composer.reviewMode.branches.error":"Haaroja ei voitu ladata","composer.reviewMode.branches.retry":"Yritä uudelleen","composer.reviewMode.gitRoot.error":"Git-juurta ei löydetty","composer.reviewMode.option.baseBranch.simple":"Tarkasta perushaaraan verraten","composer.reviewMode.option.unstaged.simple":"Tarkasta tekemättömät muutokset","composer.reviewMode.quickReviewError":"Koodin tarkastuksen aloittaminen epäonnistui.","composer.reviewMode.title":"Koodin tarkastus","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml on poistanut täyden käyttöoikeuden käytöstä","composer.sandboxButton.windowsSandboxDialog.content":"Codex voi käyttää Windowsissa kokeellista hiekkalaatikkoa rajoittaakseen tiedostojärjestelmän ja verkon käyttöä. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Otatko Windowsin hiekkalaatikon käyttöön?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Käytä vain lukutilaa","composer.searchEnvironments":"Hae ympäristöistä","composer.skillMentionList.app":"Sovellus","composer.skillMentionList.loading":"Ladataan taitoja...","composer.skillMentionList.noResults":"Taitoja ei löydetty","composer.slashCommands.cloudEnvironment.title":"Pilvi-ympäristö","composer.slashCommands.dialogLabel":"Slash-komentovalikko","composer.slashCommands.dialogTitle":"Slash-komennot","composer.slashCommands.disabledTooltip":"Aloita uusi keskustelu käyttääksesi Slash-komentoja","composer.slashCommands.inputPlaceholder":"Hae","composer.slashCommands.noResults":"Ei komentoja","composer.slashCommands.skillsGroup":"Taidot","composer.slashCommands.tooltip":"Selaa Slash-komentoja","composer.status.close":"Sulje","composer.statusPlain.alertLabel":"Ilmoitus:","composer.statusPlain.alertValue":"{remaining} % jäljellä kohteessa {window}","composer.statusPlain.contextLabel":"Konteksti:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used}/{total} käytössä)","composer.statusPlain.contextValueRemaining":"{remaining} % jäljellä","composer.statusPlain.heading":"Tila","composer.statusPlain.modelRateLimitSectionLabel":"Mallin {modelName} raja:","composer.statusPlain.rateLimitDays":"{count} päivän raja","composer.statusPlain.rateLimitFallbackLabel":"Käyttöraja:","composer.statusPlain.rateLimitHours":"{count} tunnin raja","composer.statusPlain.rateLimitLabelBase":"Käyttöraja","composer.statusPlain.rateLimitMinutes":"{count} minuutin raja","composer.statusPlain.rateLimitPercent":"{remaining} % jäljellä","composer.statusPlain.rateLimitReset":"nollautuu {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"nollausaika ei ole saatavilla","composer.statusPlain.rateLimitUnavailable":"Ei saatavilla","composer.statusPlain.sessionCopiedAriaLabel":"Istunnon tunnus kopioitu","composer.statusPlain.sessionCopiedTooltip":"Tunnus kopioitu","composer.statusPlain.sessionCopyAriaLabel":"Kopioi istunnon tunnus","composer.statusPlain.sessionCopyTooltip":"Kopioi tunnus","composer.statusPlain.sessionLabel":"Istunto:","composer.statusSlashCommand.description":"Näytä ketjun tunnus, kontekstin käyttö ja käyttörajat","composer.statusSlashCommand.title":"Tila","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Viestin lähettäminen ei onnistunut","composer.submit.emptyMessage":"Aloita kirjoittamalla viesti","composer.submit.imageInputsUnsupported":"Poista kuvat tai vaihda mallia, jotta voit lähettää tämän viestin.","composer.submit.loadingLocalConfig":"Ladataan...","composer.submit.missingCloudConfig":"Sinun on valittava pilvi-ympäristö","composer.submit.missingCloudTurn":"Tästä tehtävästä ei voi jatkaa","composer.submit.noWorkspace":"Lisää projekti Codexin käyttöön","composer.submit.waitForImageUploads":"Kuvia lähetetään...","composer.submitButtonTooltip.send":"Lähetä","composer.submitButtonTooltip.stop":"Lopeta","composer.worktreeEnvironment.create":"Luo paikallinen ympäristö","composer.worktreeEnvironment.default":"Oletusympäristö","composer.worktreeEnvironment.error":"Virhe ympäristöjen lataamisessa","composer.worktreeEnvironment.loading":"Ladataan ympäristöjä...","composer.worktreeEnvironment.title":"Paikallinen ympäristö","composer.worktreeEnvironment.tooltip":"Valitse paikallinen ympäristö","composer.worktreeSetupFailed":"Työpuun määritys epäonnistui. Tarkista .codex/environmentsin määrityskomentosarja.","compoundButton.secondaryAction":"Toissijainen toiminto","copyButton.copied":"Kopioitu","copyButton.copiedAriaLabel":"Kopioitu","copyButton.copy":"Kopioi","copyButton.copyAriaLabel":"Kopioi","copyButton.copyCode":"Kopioi koodi","diff.actionButton.revertFile":"Palauta tiedosto","diff.actionButton.revertHunk":"Peruuta","diff.actionButton.revertSection":"Palauta kaikki","diff.actionButton.revertSectionLabel":"Palauta kaikki","diff.actionButton.stageFile":"Varmenna tiedosto","diff.actionButton.stageHunk":"Varmenna","diff.actionButton.stageSection":"Varmenna kaikki","diff.actionButton.stageSectionLabel":"Varmenna kaikki","diff.actionButton.unstageFile":"Kumoa tiedoston varmennus","diff.actionButton.unstageHunk":"Kumoa varmennus","diff.actionButton.unstageSection":"Kumoa kaikkien varmennus","diff.actionButton.unstageSectionLabel":"Kumoa kaikkien varmennus","diff.fileHeader.toggle":"Valitse tiedoston ero","electron.onboarding.login.apikey.cancel":"Peruuta","electron.onboarding.login.apikey.continue":"Jatka","electron.onboarding.login.apikey.label":"OpenAI:n API-avain","electron.onboarding.login.apikey.open":"Syötä API-avain","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Peruuta sisäänkirjautuminen","electron.onboarding.login.chatgpt.continue":"Jatka ChatGPT:llä","electron.onboarding.login.devbox":"Yhdistä etäpalvelimeen SSH:lla","electron.onboarding.login.error":"Sisäänkirjautuminen epäonnistui: {rawMessage}","electron.onboarding.login.snake.start":"Pelaa Snake-peliä","electron.onboarding.login.sshConfig.cancel":"Peruuta","electron.onboarding.login.sshConfig.continue":"Jatka","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-isäntänimi","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Paras tapa rakentaa agenttien avulla","electron.onboarding.login.title":"Tervetuloa Codexiin","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Jatka","electron.onboarding.welcome.doubleLimits.description":"Codex-sovelluksen julkaisun kunniaksi sinulla on käytössä kaksinkertainen käyttöraja 2.4. asti.","electron.onboarding.welcome.freego.description":"Codex sisältyy sopimukseesi ilmaiseksi  2.3. asti – aloitetaan rakentaminen yhdessä.","electron.onboarding.welcome.new.title.anon":"Tervetuloa!","electron.onboarding.workspace.continue":"Jatka","electron.onboarding.workspace.empty":"Lisää projekti jatkaaksesi.","electron.onboarding.workspace.listLabel":"Käytettävissä olevat projektit","electron.onboarding.workspace.loading":"Ladataan projekteja...","electron.onboarding.workspace.openFolder":"Lisää projekti","electron.onboarding.workspace.selectAll":"Valitse kaikki","electron.onboarding.workspace.skip":"Ohita","electron.onboarding.workspace.skip.error":"Uutta projektia ei voitu luoda: {message}","electron.onboarding.workspace.skip.error.unknown":"Tuntematon virhe","electron.onboarding.workspace.skipping":"Luodaan uutta projektia…","electron.onboarding.workspace.subtitle":"Codex voi muokata tiedostoja ja suorittaa komentoja valituissa kansioissa.","electron.onboarding.workspace.title":"Valitse projekti","errorPage.list.checkSettings":"Yritä päivittää IDE-asetuksesi","errorPage.list.configToml":"Tarkista, sisältääkö config.toml virheellisiä asetuksia","errorPage.list.downloadExtension":"Yritä ladata eri versio laajennuksesta","errorPage.list.runInWsl":"Tarkista asetuksesi estääksesi suorittamisen WSL:ssä, jos yhteensopivuudessa on ongelmia","execApprovalRequest.menu.runAlways":"Kyllä, äläkä kysy uudelleen tässä istunnossa","execApprovalRequest.menu.runAlwaysWithAmendment":"Kyllä, äläkä pyydä uudelleen komentoja, jotka alkavat {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Kyllä, äläkä pyydä uudelleen komentoja, jotka alkavat","execApprovalRequest.menu.runOnce":"Kyllä","execApprovalRequest.prompt":"Haluatko suorittaa tämän komennon?","execApprovalRequest.reject":"Ei","execFooter.exitCode":"Poistumiskoodi {code}","execFooter.exitCode.unknown":"tuntematon","execFooter.success":"Onnistui","feedback.dialog.category.badResult":"Huono tulos","feedback.dialog.category.bug":"Virhe","feedback.dialog.category.goodResult":"Hyvä tulos","feedback.dialog.category.other":"Muu","feedback.dialog.descriptionPlaceholder":"Kuvaile ongelmaa tässä","feedback.dialog.dismiss":"Hylkää","feedback.dialog.includeLogsLabel":"Sisällytä nykyisen Codex-istunnon lokit","feedback.dialog.submit":"Lähetä","feedback.dialog.submitError":"Palautteesi lähettäminen ei onnistunut. Yritä hetken kuluttua uudelleen.","feedback.dialog.title":"Palaute","feedback.dialog.uploadedMessage.existingIssue":"olemassa olevassa avoimessa ongelmassa","feedback.dialog.uploadedMessage.openIssue":"avaa GitHub-ongelma","feedback.dialog.uploadedMessage.withThread":"Palaute lähetetty. Jos ongelma jatkuu, {openIssueLink} tai mainitse ketjun tunniste {existingIssueLink}:","feedback.dialog.uploadedTitle":"Palaute lähetetty","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Poista {filename}","header.back":"Takaisin","header.recentChats":"Tehtävät","header.recentTasks.seeAll":"Näytä kaikki ({total})","home.header.getPlus":"Hanki Plus","home.hero.letsBuild":"Aloitetaan kehittäminen","homePage.mainContent":"Pääsisältö","imageAttachment.defaultName":"kuva","imageAttachment.preview.close":"Sulje kuvan esikatselu","imageAttachment.removeAriaLabel":"Poista {filename}","implementPlanRequest.option.implement":"Kyllä, toteuta tämä suunnitelma","implementPlanRequest.prompt":"Toteutetaanko tämä suunnitelma?","inbox.archived.deleteError":"Arkistoitua suoritusta ei voitu poistaa","inbox.archived.deleteRun":"Poista arkistoitu suoritus","inbox.archived.deleteSuccess":"Arkistoitu ketju poistettiin. Näytä kohdassa <settingsLink>Arkistoidut ketjut</settingsLink>.","inbox.archived.inlineLabel.auto":"Tämä ketju arkistoitiin automaattisesti. <learnMoreLink>Lisätietoja</learnMoreLink>","inbox.archived.inlineLabel.manual":"Tämä ketju on arkistoitu.","inbox.archived.noMessageFound":"Viestiä ei löytynyt","inbox.automations.createError":"Automaation luominen ei onnistunut","inbox.automations.deleteConfirm.cancel":"Peruuta","inbox.automations.deleteConfirm.confirm":"Poista automaatio","inbox.automations.deleteConfirm.description":"Tämä poistaa pysyvästi automaation ja keskeyttää tulevat suoritukset.","inbox.automations.deleteConfirm.title":"Poistetaanko {name}?","inbox.automations.deleteError":"Automaation poistaminen ei onnistunut","inbox.automations.editTooltip":"Muokkaa automaatiota","inbox.automations.inProgress":"Käynnissä","inbox.automations.new":"Uusi","inbox.automations.newToolbar":"Uusi automaatio","inbox.automations.pauseTooltip":"Pysäytä automaatio","inbox.automations.resumeTooltip":"Jatka automaatiota","inbox.automations.startingNow":"Käynnistetään nyt","inbox.automations.startsIn":"Alkuun {startTime}","inbox.automations.status.active":"Käytössä","inbox.automations.status.paused":"Pysäytetty","inbox.automations.status.runs":"{count} käynnissä","inbox.automations.status.started":"Aloitettu {date}","inbox.automations.updateError":"Automaation luominen ei onnistunut","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Kaikki","inbox.filter.ariaLabel":"Suodata postilaatikkokohteita","inbox.filter.unread":"Lukemattomat","inbox.list.archived":"Arkistoitu","inbox.list.inProgress":"Käynnissä","inbox.list.recent":"Valmis","inbox.list.upNext":"Aikataulutettu","inbox.mode.automations":"Automaatiot","inbox.mode.automations.beta":"Beeta","inbox.noDescription":"Kuvausta ei ole annettu","inbox.openThread":"Avaa ketju","inbox.rightPanel.emptySubtitle":"Automatisoi työ asettamalla ajoitetut tehtävät","inbox.rightPanel.emptySubtitle.learnMore":"Automatisoi työ määrittämällä ajoitettuja ketjuja.<link>Lue lisää</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktiivinen automaatio} other {# aktiivista automaatiota}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Ei lukemattomia automaatioita","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# lukematon automaatio} other {# lukemattomat automaatiot}}","inbox.rightPanel.emptyTitle":"Ei valittuja kohteita","inbox.rightPanel.noThread":"Tässä kohteessa ei ole ketjuja","inbox.rightPanel.quickStart.header":"Aloita mallipohjalla","inbox.untitled":"Nimetön postilaatikkokohde","loadingPage.documentationLink":"dokumentaatio","loadingPage.errorDescription":"Codex kaatui seuraavan virheen takia:","loadingPage.errorDescription.documentation":"Käynnistä Codex-laajennus uudelleen napsauttamalla Lataa uudelleen, tai pyydä lisäapua täältä: {documentationLink}.","loadingPage.errorSignal":"Voit kokeilla näitä:","loadingPage.errorTitle":"Tapahtui jokin virhe","loadingPage.openConfigToml":"Avaa Config.toml","loadingPage.reload":"Lataa uudelleen","localConversation.contextCompacted":"Konteksti tiivistetty automaattisesti","localConversation.contextCompacting":"Kontekstin automaattinen tiivistäminen","localConversation.forkedFromConversation":"Haaroitettu ketjusta {threadTitle}","localConversation.merge.autoResolve.failed":"Automaattisen ratkaisemisen pyytäminen epäonnistui: {error}","localConversation.merge.autoResolve.sent":"Automaattisen ratkaisemisen pyyntö lähetetty","localConversation.merge.autoResolveMerge.missingConversation":"Automaattinen ratkaiseminen ei onnistu ilman aktiivista keskustelua.","localConversation.merge.autoResolveMerge.request":"Ratkaise yhdistelykonfliktit automaattisesti","localConversation.modelChanged":"Malli vaihdettu mallista {fromModel} malliin {toModel}","localConversation.modelChanged.warning.line1":"Mallin vaihtaminen muuntamisen aikana heikentää suorituskykyä.","localConversation.modelChanged.warning.line2":"Konteksti saatetaan tiivistää automaattisesti","localConversation.moveThread.createBranch.label":"Luo haara","localConversation.moveToLocal.disabled.loading":"Ladataan...","localConversation.moveToLocal.modal.continue":"Jatka","localConversation.moveToLocal.modal.destinationLabel":"Siirrä kohteeseen","localConversation.moveToLocal.modal.retry":"Yritä uudelleen","localConversation.moveToWorktree.modal.back":"Takaisin","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Haara on jo olemassa.","localConversation.moveToWorktree.modal.branchesError":"Haaroja ei voitu ladata","localConversation.moveToWorktree.modal.branchesLoading":"Ladataan haaroja...","localConversation.moveToWorktree.modal.branchesRetry":"Yritä uudelleen","localConversation.moveToWorktree.modal.continue":"Jatka","localConversation.moveToWorktree.modal.retry":"Yritä uudelleen","localConversation.moveToWorktree.modal.trailingSlashError":"Haaran nimi ei voi päättyä /.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"uusi-haara","localConversation.personalityChanged":"Vaihdettiin personallisuuteen {personality}","localConversation.planSummary.collapse":"Kutista sopimuksen yhteenveto","localConversation.planSummary.collapseTooltip":"Kutista","localConversation.planSummary.download":"Lataa sopimus","localConversation.planSummary.expand":"Laajenna sopimuksen yhteenveto","localConversation.planSummary.expandTooltip":"Laajenna","localConversation.planSummary.openInNewWindow":"Avaa","localConversation.planSummary.openInNewWindow.tooltip":"Avaa uuteen ikkunaan","localConversation.planSummary.title":"Suunnittele","localConversation.planSummary.titleWriting":"Kirjoitetaan suunnitelmaa","localConversation.planSummary.viewPlan":"Laajenna sopimusta","localConversation.remoteTaskCreated":"Luotiin {taskLink} Codex Cloudissa","localConversation.remoteTaskCreated.task":"tehtävä","localConversation.scrollToBottomButton":"Vieritä alas","localConversation.sync.buttonLabel":"Siirrä paikallisille","localConversation.sync.buttonLabel.tooltip":"Siirrä muutokset tämän työpuun ja paikallisen tarkistuksen välillä.","localConversation.sync.modal.loading.title":"Muutosten luovuttaminen…","localConversation.sync.modal.noChanges":"Ei muutoksia","localConversation.syncSetup.branchAriaLabel":"Haaran nimi","localConversation.syncSetup.branchName":"Haaran nimi","localConversation.syncSetup.branchPlaceholder.existing":"Valitse olemassa oleva haara","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Ladataan haaroja...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Jo tarkastettu","localConversation.syncSetup.checkoutClean":"Tällä hetkellä haarassa {branchName}","localConversation.syncSetup.checkoutDirty":"Tällä hetkellä {branchName} vahvistamattomilla muutoksilla","localConversation.syncSetup.checkoutError":"Haaran tarkastaminen epäonnistui: {message}","localConversation.syncSetup.checkoutLabel":"Tarkasta paikallisesti nyt","localConversation.syncSetup.checkoutOnLocal":"Siirrä paikalliseen","localConversation.syncSetup.checkoutPending":"Paikallisen tilan tarkastaminen…","localConversation.syncSetup.checkoutUnavailable":"Paikallinen työtila ei ole käytettävissä","localConversation.syncSetup.checkoutUnknown":"Paikallinen haara ei ole käytettävissä","localConversation.syncSetup.continue":"Jatka","localConversation.syncSetup.createBranchError":"Siirtohaaran asettaminen epäonnistui: {message}","localConversation.syncSetup.error":"Jokin meni pieleen: {message}","localConversation.syncSetup.error.workingTreeMissing":"Työpuusta ei voi ottaa tilannevedosta. Yritä luovuttaa uudelleen.","localConversation.syncSetup.mode.ariaLabel":"Valitse haaran tila","localConversation.syncSetup.mode.existing":"Olemassa oleva haara","localConversation.syncSetup.mode.new":"Uusi haara","localConversation.syncSetup.noBranches":"Haaroja ei löytynyt","localConversation.syncSetup.overwriteError":"Haara on luotu, mutta sitä ei ole vielä siirretty kokonaan. Siirrä se manuaalisesti ennen paikallista tarkastusta.","localConversation.syncSetup.setPrefix":"Määritä etuliite","localConversation.syncSetup.subtitle":"Testaa ja muokkaa työpuun muutoksia paikallisesti. <a>Lue lisää</a>","localConversation.syncSetup.success.checkedOut":"Haara on luotu ja tarkastettu paikallisesti","localConversation.syncSetup.success.notCheckedOut":"Haara luotu","localConversation.syncSetup.title":"Siirrä paikalliselle haaralle","localConversation.syncWorktreeError.branchAriaLabel":"Haaran nimi","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Valitse haara, johon haluat siirtää muutokset, ja yritä ladata ne uudelleen.","localConversation.syncWorktreeError.branchSetup.title":"Päivitä haara","localConversation.syncWorktreeError.branchUpdate.cta":"Päivitä ja yritä uudelleen","localConversation.syncWorktreeError.branchUpdate.error":"Haaran päivittäminen epäonnistui: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Jokin meni pieleen: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Haaraa ei ole otettu käyttöön missään työpuussa.","localConversation.syncWorktreeV2.applyUncommitted":"Ota käyttöön","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Sinun on tarkastettava haara paikallisesti, jotta voit soveltaa vahvistamattomia muutoksia","localConversation.syncWorktreeV2.branches.empty":"Haaroja ei löytynyt","localConversation.syncWorktreeV2.branches.loading":"Ladataan haaroja...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Vaihda siirtohaara","localConversation.syncWorktreeV2.changeBranch.error":"Siirtohaaran muuttaminen epäonnistui: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Sovellus epäonnistui","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Työpuun korvaaminen epäonnistui","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Paikallisen korvaaminen epäonnistui","localConversation.syncWorktreeV2.commandError.back":"Takaisin","localConversation.syncWorktreeV2.commandError.body":"Git-komento epäonnistui siirron aikana. Tarkasta tuotos ja yritä uudelleen.","localConversation.syncWorktreeV2.commandError.retry":"Yritä uudelleen","localConversation.syncWorktreeV2.description":"Siirrä muutokset paikallisen ja tämän työkansion välillä <a>Lisätietoja</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Valitse siirron suunta","localConversation.syncWorktreeV2.error.generic":"Jotain meni vikaan siirron aikana. Yritä uudelleen.","localConversation.syncWorktreeV2.localBranchLabel":"Paikallinen","localConversation.syncWorktreeV2.noChanges":"Muutosten laskeminen","localConversation.syncWorktreeV2.noChanges.summary":"Ei muutoksia","localConversation.syncWorktreeV2.overwrite.local":"Korvaa paikallinen","localConversation.syncWorktreeV2.overwrite.worktree":"Korvaa työpuu","localConversation.syncWorktreeV2.partial.action.applyFailed":"Muutoksia ei voitu ottaa käyttöön","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Paikallisia muutoksia ei voitu korvata","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Työpuun muutoksia ei voitu korvata","localConversation.syncWorktreeV2.partial.appliedLabel":"Käytössä","localConversation.syncWorktreeV2.partial.back":"Takaisin","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Ratkaise konfliktit ja yritä uudelleen.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konfliktit","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# tiedosto} other {# tiedostoa}}","localConversation.syncWorktreeV2.partial.retry":"Yritä uudelleen","localConversation.syncWorktreeV2.partial.skippedLabel":"Ohitettiin","localConversation.syncWorktreeV2.stateFailed.generic":"Jotain meni vikaan, kun haettiin työpuun muutoksia siirrettäväksi. Yritä uudelleen.","localConversation.syncWorktreeV2.stateFailed.title":"Työpuun muutosten lataaminen epäonnistui","localConversation.syncWorktreeV2.statusError.diffUnknown":"Työpuun muutosten käyttöön ottaminen epäonnistui.","localConversation.syncWorktreeV2.statusError.retry":"Yritä uudelleen","localConversation.syncWorktreeV2.statusError.title":"Paikallisten haaran muutoksia ei voi ladata","localConversation.syncWorktreeV2.statusError.unknown":"Haaran tila ei ole tällä hetkellä käytettävissä. Yritä uudelleen.","localConversation.syncWorktreeV2.success.apply":"Onnistuneesti sovelletut muutokset","localConversation.syncWorktreeV2.success.overwrite":"Siirto onnistui","localConversation.syncWorktreeV2.title":"Muutosten siirto","localConversation.syncWorktreeV2.worktreeLabel":"Työpuu","localConversation.userInputRequest.inProgress":"Kysytään {count, plural, one {kysymys} other {kysymystä}}","localConversation.userInputRequest.noAnswer":"Ei vastauksia","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Kysytty","localConversation.userInputRequest.summary.count":"{count, plural, one {# kysymys} other {# kysymystä}}","localConversation.workedFor":"Työskenteli {time}","localConversation.worktreeBranchSetup.action.create":"Luo","localConversation.worktreeBranchSetup.branchAriaLabel":"Haaran nimi","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Luo uusi haara","localConversation.worktreeBranchSetup.checkoutDisabled":"Tämä haara on jo tarkastettu klo {location}","localConversation.worktreeBranchSetup.checkoutError":"Haaran tarkastaminen epäonnistui: {message}","localConversation.worktreeBranchSetup.createBranchError":"Haaran asettaminen epäonnistui: {message}","localConversation.worktreeBranchSetup.error":"Jokin meni pieleen: {message}","localConversation.worktreeBranchSetup.subtitle":"Luo haara ja vahvista muutokset, lähetä ne ja luo pull-pyyntö tästä työpuusta. <a>Lue lisää</a>","localConversation.worktreeBranchSetup.title":"Työskentele täällä","localConversationPage.addWorktreeToSidebar.tooltip":"Tallenna projektina, jotta voit aloittaa uusia ketjuja tästä työpuusta","localConversationPage.addWorktreeToSidebarError":"Projektin lisääminen epäonnistui","localConversationPage.commitAndCreatePrModal.errorTitle":"Kommitointi ja pull-pyynnön luominen epäonnistui","localConversationPage.commitAndCreatePrModal.successTitle":"Kommitoitu ja pull-pyyntö luotu","localConversationPage.commitAndPushModal.errorTitle":"Kommitointi ja lähettäminen epäonnistui","localConversationPage.commitAndPushModal.successTitle":"Muutokset kommitoitiin ja lähetettiin","localConversationPage.commitCreatePr.open":"Avaa pull-pyyntö","localConversationPage.commitCreatePr.successTitle":"Luotiin pull-pyyntö viimeisimmillä muutoksilla","localConversationPage.createBranchButtonLabel":"Luo haara tähän","localConversationPage.createPrModal.baseBranch":"Perushaara","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Luo pull-pyyntö","localConversationPage.createPrModal.createDescription":"Avaa pull-pyyntö uusimmille muutoksille.","localConversationPage.createPrModal.errorTitle":"Pull-pyyntö epäonnistui","localConversationPage.createPrModal.headBranch":"Päähaara","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Avaa pull-pyyntö","localConversationPage.createPrModal.successTitle":"Pull-pyyntö luotu","localConversationPage.createPrModal.title":"Luo pull-pyyntö","localConversationPage.createPrModal.viewDescription":"Tällä haaralla on jo pull-pyyntö.","localConversationPage.createPrModal.viewTitle":"Pull-pyyntö valmis","localConversationPage.createPullRequestAuthGh":"GitHub CLI:n todennus: suorita `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Haaraa koskevia tietoja ei käytettävissä","localConversationPage.createPullRequestButtonLabel":"Luo pull-pyyntö","localConversationPage.createPullRequestButtonLabel.loading":"Luodaan pull-pyyntö…","localConversationPage.createPullRequestDefaultBranchMissing":"Oletushaaran tiedot eivät ole käytettävissä","localConversationPage.createPullRequestError":"Pull-pyynnön luominen epäonnistui","localConversationPage.createPullRequestExistingPullRequest":"Tällä haaralla on jo pull-pyyntö","localConversationPage.createPullRequestGhStatusMissing":"Ladataan GitHub CLI -tilaa...","localConversationPage.createPullRequestInstallGh":"Asenna GitHub CLI (gh) pull-pyyntöjen luomiseen","localConversationPage.createPullRequestNoRepo":"Git-varastoa ei löytynyt","localConversationPage.createPullRequestPushStatusMissing":"Ladataan push-tilaa...","localConversationPage.createPullRequestSetUpstream":"Työnnä tämä haara ennen kuin luot push-ilmoituksen","localConversationPage.createPullRequestSuccessToast":"Pull-pyyntö luotu","localConversationPage.createPullRequestSwitchBranch":"Tarkista ominaisuushaara ennen pull-pyynnön luomista","localConversationPage.error.render":"Virhe paikallisen keskustelun hahmontamisessa","localConversationPage.error.toast":"Keskustelua ei löytynyt","localConversationPage.forcePushError":"Push-lähetyksen pakottaminen epäonnistui","localConversationPage.generatePullRequestMessageError":"Pull-pyynnön otsikon ja tekstin luominen epäonnistui","localConversationPage.generatePullRequestMessageFailed":"Pull-pyynnön otsikon ja tekstin luominen epäonnistui.","localConversationPage.gitActionResult.branch":"Haara","localConversationPage.gitActionResult.cancel":"Peruuta","localConversationPage.gitActionResult.close":"Sulje","localConversationPage.gitActionResult.tryAgain":"Yritä uudelleen","localConversationPage.gitActions":"Git-toiminnot","localConversationPage.newChat":"Uusi keskustelu","localConversationPage.openInTarget":"Avaa kohteessa","localConversationPage.openPrimaryTarget":"Avaa","localConversationPage.planItemsCompleted":"{completedItems}/{totalItems, plural, one {#-tehtävä valmis} other {#-tehtävät valmiit}}","localConversationPage.pushAuthError":"Push-lähetys epäonnistui: todennus vaaditaan","localConversationPage.pushBranchMissing":"Haaraa koskevia tietoja ei käytettävissä","localConversationPage.pushButtonLabel":"Push-pyyntö","localConversationPage.pushButtonLabel.loading":"Lähetetään...","localConversationPage.pushError":"Muutosten lähettäminen epäonnistui","localConversationPage.pushModal.branchLabel":"Haara","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Peruuta","localConversationPage.pushModal.confirm":"Push-pyyntö","localConversationPage.pushModal.description":"Lähetä uusimmat kommitoinnit etävarastoon.","localConversationPage.pushModal.errorTitle":"Push-lähetys epäonnistui","localConversationPage.pushModal.forcePush":"Pakota push-lähetys","localConversationPage.pushModal.successTitle":"Push-lähetys valmis","localConversationPage.pushModal.title":"Lähetä muutokset","localConversationPage.pushModal.tryAgain":"Yritä uudelleen","localConversationPage.pushNoUpstream":"Aseta päähaara ennen tämän haaran lähettämistä","localConversationPage.pushNoUpstreamError":"Push-lähetys epäonnistui: päähaaraa ei ole määritetty","localConversationPage.pushNothingToPush":"Ei uusia commiteja lähetettäväksi","localConversationPage.pushRemoteChangedError":"Push-lähetys epäonnistui: etähaarassa on uusia commiteja","localConversationPage.pushRemoteRejectedError":"Etähaara hylkäsi push-lähetyksen","localConversationPage.pushStatusMissing":"Ladataan push-tilaa...","localConversationPage.pushSuccessToast":"Lähetetyt muutokset","localConversationPage.viewPullRequestButtonLabel":"Näytä pull-pyyntö","localConversationPage.viewPullRequestButtonLabel.loading":"Ladataan pull-pyyntöä...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# tiedosto} other {# tiedostoa}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# luettelo} other {# luetteloa}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# haku} other {# hakua}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Tutkitaan","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Tutkittu","localConversationTurn.exploration.accordion.header.complete.withCounts":"Tutkittu {counts}","localConversationTurnStory.showContent":"Näytä sisältö","localConversationTurnStory.streamContent":"Suoratoista sisältöä","localConversationTurnStory.toggleReasoning":"Näytä päättely","localTaskRow.archiveError":"Keskustelun arkistoiminen epäonnistui","localTaskRow.resumeError":"Tehtävän jatkaminen epäonnistui","mermaidDiagram.ariaLabel":"Mermaid-kaavio","mermaidDiagram.copySource":"Kopioi merenneito","mermaidDiagram.originalCode":"Mermaid-lähdekoodi","notifications.permissions.description":"Näytä ilmoitukset, kun ilmoitusluvat vaaditaan","notifications.permissions.label":"Ota lupailmoitukset käyttöön","notifications.turnMode.always":"Aina","notifications.turnMode.description":"Aseta, kun Codex ilmoittaa, että se on valmis","notifications.turnMode.label":"Vuoron päättymisen ilmoitukset","notifications.turnMode.off":"Ei koskaan","notifications.turnMode.unfocused":"Vain ei-aktiivisena","patchApprovalRequest.approve":"Hyväksy","patchApprovalRequest.menu.allowAlways":"Kyllä, äläkä kysy uudelleen tässä istunnossa","patchApprovalRequest.menu.allowForSession":"Kyllä, äläkä kysy uudelleen tässä istunnossa","patchApprovalRequest.menu.allowOnce":"Kyllä","patchApprovalRequest.prompt":"Haluatko tehdä nämä muutokset?","patchApprovalRequest.reject":"Ei","patchApprovalRequest.waitingForApproval":"Odotetaan hyväksyntää tiedostojen muokkaamiselle","pendingRequest.approvalExec.collapse":"Kutista","pendingRequest.approvalExec.expand":"Laajenna","pendingRequestStory.toastAnswer":"Vastaa: {answer}","pendingRequestStory.toastApprovalTitle":"Hyväksyntävastaukset","pendingRequestStory.toastFollowupPrompt":"Kehote: {prompt}","pendingRequestStory.toastFollowupTitle":"Seuranta lähetetty","pendingRequestStory.toastNoAnswers":"Ei vastauksia","pendingRequestStory.toastQuestion":"Kysymys: {question}","pendingRequestStory.toastUnknownDecision":"Tuntematon","pendingRequestStory.toastUserInputTitle":"Vastaukset lähetetty","quickAction.request.codeReview.branches.new":"Tarkasta kohteen {from} muutokset verraten kohteeseen {to}","quickAction.request.codeReview.uncommitted.new":"Tarkasta tekemättömät muutokseni","reasoningItem.thinking":"Miettii","reasoningItem.thought":"Mietti","reasoningItem.thoughtWithElapsed":"Mietti {elapsed}","recentConversations.title":"Viimeaikaiset keskustelut","recentTasks.worktreeInitFailedTitle":"Työpuun alustaminen epäonnistui","recentTasks.worktreeSettingUpTitle":"Määritetään työpuu","requestInputPanel.continue":"Jatka","requestInputPanel.dismiss":"Hylkää","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Kirjoita tähän","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ei, ja kerro Codexille, mitä pitää tehdä toisin","requestInputPanel.selectedBadge":"Valittu","requestInputPanel.skip":"Ohita","requestInputPanel.submit":"Lähetä","review.commit.ariaLabel.includeUnstaged":"Sisällytä staged-tilaan siirtämättömät","review.commit.buttonLabel":"Vahvista","review.commit.disabled.committing":"Kommitoidaan…","review.commit.disabled.loadingDiff":"Ladataan muutosraporttia...","review.commit.disabled.missingContext":"Lisää kontekstia commit-viestin luomiseen","review.commit.disabled.noChanges":"Ei vahvistettavia muutoksia","review.commit.disabled.noSelection":"Valitse vahvistettavat muutokset","review.commit.disabled.unavailable":"Vahvistus ei ole juuri nyt käytettävissä","review.commit.error":"Muutosten vahvistaminen epäonnistui","review.commit.form.changesToBeCommitted":"Muutokset","review.commit.form.commitTo":"Haara","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Jatka","review.commit.form.title":"Kommitoi muutokset","review.commit.generate.emptyResponse":"Commit-viestiä ei voitu luoda.","review.commit.generate.failed":"Commit-viestin luominen epäonnistui: {error}","review.commit.generate.missingPrompt":"Lisää kontekstia commit-viestin luomiseen.","review.commit.includeUnstaged":"Sisällytä staged-tilaan siirtämättömät","review.commit.loading.description":"Odota vielä, tämä voi kestää hetken…","review.commit.loading.step.commit.done":"Muutokset kommitoitiin","review.commit.loading.step.commit.pending":"Kommitoidaan muutoksia","review.commit.loading.step.createPr.done":"Pull-pyyntö luotu","review.commit.loading.step.createPr.pending":"Luodaan pull-pyyntöä","review.commit.loading.step.push.done":"Lähetetty haaraan {branch}","review.commit.loading.step.push.pending":"Lähetetään haaraan {branch}","review.commit.loading.title.commit":"Kommitoidaan muutoksia","review.commit.loading.title.createPr":"Luodaan pull-pyyntöä","review.commit.loading.title.push":"Lähetetään muutoksia","review.commit.messageLabel":"Vahvistusviesti","review.commit.messagePlaceholder":"Jätä tyhjäksi luodaksesi commit-viestin automaattisesti","review.commit.nextSteps":"Seuraavat vaiheet","review.commit.nextSteps.commit":"Kommitoi","review.commit.nextSteps.commitAndCreate":"Kommitoi ja luo pull-pyyntö","review.commit.nextSteps.commitAndPush":"Kommitoi ja lähetä","review.commit.nextSteps.prRequiresGh":"GitHub CLI vaaditaan: {command}","review.commit.rows.changes":"Muutokset","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# committia}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# committia}} ja {stats}","review.commit.rows.fileCount":"{count, plural, one {# tiedosto} other {# tiedostoa}}","review.commit.state.error.body":"Jokin meni pieleen vahvistuksessa. Tarkista git-tila ja yritä uudelleen.","review.commit.state.error.title":"Vahvistus epäonnistui","review.commit.state.success.title":"Muutokset kommitoitu","review.commit.untracked.loadingStats":"Ladataan seuraamattomia vertailunäkymätilastoja…","reviewFindingAttachments.count":"{count, plural, one {# tulos} other {# tulosta}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Mukauta agentin käytöstä muokkaamalla määritystä","settings.agent.configuration.configToml.docs":"Asiakirjat","settings.agent.configuration.configToml.restartNote":"Ota muutokset käyttöön käynnistämällä Codex uudelleen muokkauksen jälkeen","settings.agent.configuration.subtitle":"Nämä asetukset koskevat kaikkia Codexin käyttöpaikkoja","settings.automations.banner.danger":"Automaatiot toimivat oletusarvoisilla hiekkalaatikkoasetuksilla, jotka on tällä hetkellä asetettu täyteen käyttöoikeuteen. Täydellä käyttöoikeudella suoritettavat, taustalla toimivat automaatiot sisältävät suuremman riskin, koska Codex voi muokata tiedostoja, suorittaa komentoja ja käyttää verkkoa kysymättä lupaa. Harkitse hiekkalaatikkoasetusten päivittämistä työtilan kirjoitukseen ja <rulesDocsLink>sääntöjen</rulesDocsLink> käyttöä, jotta voit valikoivasti määritellä, mitä komentoja agentti voi suorittaa täydellä käyttöoikeudella.","settings.automations.banner.defaultHowTo.default":"Automaatiot toimivat oletusarvoisilla hiekkalaatikkoasetuksilla. Työkalukutsut onnistuvat, jos ne edellyttävät tiedostojen muokkaamista työtilan ulkopuolella, verkkoon pääsyä tai tietokoneen sovellusten käyttöä. Voit valikoivasti sallia komentojen suorittamisen hiekkalaatikon ulkopuolella käyttämällä <rulesDocsLink>sääntöjä</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automaatiot toimivat oletusarvoisilla hiekkalaatikkosäätöillä, jotka on asetettu vain luku -tilaan. Työkalukutsut epäonnistuvat, jos ne edellyttävät tiedostojen muokkaamista, verkkoon pääsyä tai tietokoneen sovellusten käyttöä. Harkitse hiekkalaatikon asetusten päivittämistä työtilan kirjoitusoikeudeksi.","settings.automations.cancel":"Peruuta","settings.automations.create":"Luo","settings.automations.cwdEmpty":"Projektikansioita ei ole käytettävissä","settings.automations.cwdLabel":"Projektit","settings.automations.cwdPlaceholder":"Valitse kansio","settings.automations.cwdSubtitle":"Jos haluat automaation suorittavan tietyllä haaralla, voit määrittää sen kehotteessa.","settings.automations.delete":"Poista","settings.automations.dialog.editTitle":"Muokkaa automaatiota","settings.automations.dialog.newTitle":"Uusi automaatio","settings.automations.dialog.subtitle":"Automatisoi toistuvat tehtävät taustalla. Codex lisää löydökset saapuneet-kansioon tai arkistoi tehtävän automaattisesti, jos raportoitavaa ei ole. <learnMoreLink>Lisätietoja</learnMoreLink>","settings.automations.dialog.title":"Luo automaatio","settings.automations.executionCopy.git":"Automaatiot suoritetaan taustalla erityisillä työpuilla.","settings.automations.executionCopy.nonGit":"Automaatiot versiohallitsemattomissa projekteissa suoritetaan suoraan projektikansiossa. Harkitse Gitin käyttöä, jotta voit suorittaa työpuita taustalla.","settings.automations.executionEnvironment.local":"Paikallinen","settings.automations.executionEnvironment.worktree":"Työpuu","settings.automations.loading":"Ladataan...","settings.automations.nameLabel":"Nimi","settings.automations.namePlaceholder":"Tarkasta Sentry-ongelmat","settings.automations.pause":"Pysäytä","settings.automations.promptLabel":"Kehote","settings.automations.promptPlaceholder":"etsi kaatumisia kohteessa $Sentry","settings.automations.resume":"Jatka","settings.automations.rruleSummaryFallback":"Mukautettu aikataulu","settings.automations.runNow":"Testi","settings.automations.save":"Tallenna","settings.automations.scheduleBadge.dayCount":"{count} pv","settings.automations.scheduleBadge.interval":"{count} t","settings.automations.scheduleBadge.weekdays":"Arkipäivät","settings.automations.scheduleBadge.weekends":"Viikonloput","settings.automations.scheduleHeader":"Aikataulu","settings.automations.scheduleHours":"tunnin välein","settings.automations.scheduleLabel":"Suorita","settings.automations.scheduleMode.daily":"Joka päivä","settings.automations.scheduleMode.interval":"Aikaväli","settings.automations.scheduleModeLabel":"Aikataulun tyyppi","settings.automations.scheduleSummary.daily":"Joka päivä klo {time}","settings.automations.scheduleSummary.interval":"Joka {count} tunnin välein","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# päivän} other {# päivää}}","settings.automations.scheduleSummary.intervalDays":"{interval} joka {days}","settings.automations.scheduleSummary.intervalHourly":"Tuntikohtainen","settings.automations.scheduleSummary.singleDay":"{day} klo {time}","settings.automations.scheduleSummary.weekdays":"Arkisin klo {time}","settings.automations.scheduleSummary.weekdaysLabel":"arkipäivät","settings.automations.scheduleSummary.weekends":"Viikonloppuisin klo {time}","settings.automations.scheduleSummary.weekendsLabel":"viikonloput","settings.automations.scheduleSummary.weekly":"{days} klo {time}","settings.automations.scheduleWeekdays":"Käytössä","settings.automations.weekdayState.excluded":"Poissuljettu","settings.automations.weekdayState.included":"Sisältyy","settings.conversationDetail.steps":"Vaiheet","settings.conversationDetail.steps.description":"Piilota komennot ja tuotokset","settings.conversationDetail.stepsWithCommands":"Vaiheet koodikomennoilla","settings.conversationDetail.stepsWithCommands.description":"Näytä komennot, kutista tuotokset","settings.conversationDetail.stepsWithOutput":"Vaiheet koodin tuotoksella","settings.conversationDetail.stepsWithOutput.description":"Näytä komennot ja laajenna tuotos","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ei arkistoituja keskusteluja.","settings.dataControls.archivedChats.error":"Arkistoituja keskusteluja ei voitu ladata.","settings.dataControls.archivedChats.loading":"Ladataan arkistoituja keskusteluja...","settings.dataControls.archivedChats.unarchive":"Poista arkistosta","settings.dataControls.archivedChats.unarchiveError":"Keskustelun poisto arkistosta epäonnistui","settings.dataControls.archivedChats.unarchiveSuccess":"Arkistosta poistettu ketju. <viewNowLink>Näytä nyt</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Ketju poistettiin arkistosta.","settings.dataControls.archivedChats.untitled":"Nimetön keskustelu","settings.dataControls.archivedChats.viewNow":"Näytä nyt","settings.editRow.headerPlaceholder":"Avain","settings.editRow.removeEntry":"Poista merkintä","settings.editRow.valuePlaceholder":"Arvo","settings.general.appearance":"Ulkoasu","settings.general.appearance.codeFont":"Koodin fontti","settings.general.appearance.codeFont.description":"Muuta koodin fonttia ja kokoa keskusteluissa ja vertailunäkymissä","settings.general.appearance.codeFontFamily":"Koodin fonttiperhe","settings.general.appearance.codeFontSize":"Koodin fonttikoko","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Käytä ikkunoissa kiinteää taustaa, ei järjestelmän läpinäkyvyyttä","settings.general.appearance.opaqueWindows.label":"Käytä läpinäkymätöntä ikkunataustaa","settings.general.appearance.sansFontFamily":"Sans-fonttiperhe","settings.general.appearance.sansFontFamily.description":"Muuta Codex UI:ssä käytettyä fonttia","settings.general.appearance.sansFontSize":"Sans-fonttikoko","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Näytä juhlatehosteet koko ikkunassa, kun GPT-5.3-Codex-Spark suoritetaan ensimmäistä kertaa","settings.general.appearance.sparkCelebrationEffects.label":"Sparkin juhlatehosteet","settings.general.appearance.theme":"Teema","settings.general.appearance.theme.dark":"Tumma","settings.general.appearance.theme.description":"Käytä vaaleaa, tummaa tai järjestelmään sopivaa väriä","settings.general.appearance.theme.light":"Vaalea","settings.general.appearance.theme.system":"Järjestelmä","settings.general.appearance.usePointerCursors.description":"Muuta kursori osoittimeksi, kun viet sen interaktiivisten elementtien päälle","settings.general.appearance.usePointerCursors.label":"Käytä osoitinkursoreita","settings.general.enterBehavior.description":"Kun käytössä, usean rivin kehotteiden lähettämiseen vaaditaan {modifierSymbol} + enter.","settings.general.enterBehavior.label":"Vaaditaan {modifierSymbol} + enter lähettääksesi pitkä kehotteita","settings.general.experimentalFeatures":"Kokeelliset ominaisuudet (Beeta)","settings.general.experimentalFeatures.empty":"Beeta-versiossa ei ole kokeellisia ominaisuuksia.","settings.general.experimentalFeatures.loading":"Ladataan kokeellisia ominaisuuksia…","settings.general.experimentalFeatures.restartNote":"Käynnistä Codex uudelleen, jotta kokeelliset ominaisuusmuutokset otetaan käyttöön","settings.general.experimentalFeatures.toggle":"Valitse {featureName}","settings.general.followUpQueueMode.description":"Aseta jatkotoimet jonoon, kun Codex on suoritustilassa, tai ohjaa nykyistä suoritusta. Paina {invertFollowUpShortcutLabel}, jos haluat suorittaa päinvastaisen toiminnon yhdelle viestille.","settings.general.followUpQueueMode.interrupt":"Ohjaa","settings.general.followUpQueueMode.label":"Jatkotoimia koskeva käyttäytyminen","settings.general.followUpQueueMode.queue":"Aseta jonoon","settings.general.notifications":"Ilmoitukset","settings.general.power.preventSleepWhileRunning.description":"Pidä tietokone hereillä, kun Codex suorittaa ketjua.","settings.general.power.preventSleepWhileRunning.label":"Estä lepotila suorittamisen aikana","settings.git.branchPrefix.ariaLabel":"Haaran etuliite","settings.git.branchPrefix.description":"Etuliite, jota käytetään luotaessa uusia haaroja Codexissa","settings.git.branchPrefix.label":"Haaran etuliite","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Haaran etuliitteen tallentaminen epäonnistui","settings.git.branchPrefix.save.success":"Tallennettu haaran etuliite","settings.git.commitInstructions.ariaLabel":"Commit-ohjeet","settings.git.commitInstructions.description":"Lisätty commit-viestien luomisen kehotteisiin","settings.git.commitInstructions.label":"Commit-ohjeet","settings.git.commitInstructions.placeholder":"Lisää commit-viestiopas…","settings.git.commitInstructions.save":"Tallenna","settings.git.commitInstructions.save.error":"Commit-ohjeiden tallentaminen epäonnistui","settings.git.commitInstructions.save.success":"Commit-ohjeet tallennettu","settings.git.forcePush.ariaLabel":"Pakota aina push-lähetys","settings.git.forcePush.description":"Käytä --force-with-lease-komentoa, kun lähetetään Codexista","settings.git.forcePush.label":"Pakota aina push-lähetys","settings.git.forcePush.save.disabled":"Pakota aina push-lähetys poistettu käytöstä","settings.git.forcePush.save.enabled":"Pakota aina push-lähetys otettu käyttöön","settings.git.forcePush.save.error":"Pakota push-lähetys -asetuksen tallennus epäonnistui","settings.git.prInstructions.ariaLabel":"Pull-pyynnön ohjeet","settings.git.prInstructions.description":"Liitetty Codexin luomiin pull-pyyntöjen runkoihin","settings.git.prInstructions.label":"Pull-pyynnön ohjeet","settings.git.prInstructions.placeholder":"Lisää pull-pyynnön opastus…","settings.git.prInstructions.save":"Tallenna","settings.git.prInstructions.save.error":"Pull-pyynnön ohjeiden tallentaminen epäonnistui","settings.git.prInstructions.save.success":"Pull-pyynnön ohjeet tallennettu","settings.ide.defaultOpenTarget.description":"Kertoo, missä tiedostot ja kansiot avautuvat oletusarvoisesti","settings.ide.defaultOpenTarget.label":"Oletusarvoinen avautumiskohde","settings.ide.defaultOpenTarget.placeholder":"Kohteita ei löydetty","settings.ide.language.auto":"Automaattinen havaitseminen","settings.ide.language.autoOption":"Automaattinen havaitseminen","settings.ide.language.description":"Sovelluksen käyttöliittymän kieli","settings.ide.language.label":"Kieli","settings.ide.language.search":"Hae kieliä","settings.layout.actionButton":"Käynnistä laajennus uudelleen","settings.layout.actionTitle":"Asetukset ja toiminto","settings.layout.fullWidthTitle":"Asetukset (koko leveys)","settings.layout.title":"Asetukset","settings.localEnvironments.actions.add":"Lisää toiminto","settings.localEnvironments.actions.add.description":"Luo uusi komento suoritettavaksi työkalupalkista.","settings.localEnvironments.actions.add.save":"Tallenna","settings.localEnvironments.actions.empty":"Lisää toiminto, jolla voit suorittaa komentoja paikallisen työkalupalkin kautta.","settings.localEnvironments.actions.icon.debug":"Poista virheet","settings.localEnvironments.actions.icon.run":"Suoritettiin","settings.localEnvironments.actions.icon.test":"Testi","settings.localEnvironments.actions.icon.tool":"Työkalu","settings.localEnvironments.actions.item.button.delete":"Poista","settings.localEnvironments.actions.item.command":"Toiminnon komentosarja","settings.localEnvironments.actions.item.name":"Nimi","settings.localEnvironments.actions.item.platforms":"Alustat","settings.localEnvironments.actions.item.platforms.help":"Suorita vain tietyssä käyttöjärjestelmässä.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Alustan valinta","settings.localEnvironments.actions.item.platforms.specific":"Alustakohtainen","settings.localEnvironments.actions.item.platforms.windows":"Ikkunat","settings.localEnvironments.actions.item.tooltip.delete":"Poista","settings.localEnvironments.actions.title":"Toiminnot","settings.localEnvironments.breadcrumb.back":"Takaisin","settings.localEnvironments.breadcrumb.edit":"muokkaa","settings.localEnvironments.breadcrumb.root":"Ympäristöt","settings.localEnvironments.environment.actions.description":"Näillä toiminnoilla voidaan suorittaa mitä tahansa toimintoja, ja ne näkyvät otsakkeessa.","settings.localEnvironments.environment.actionsLabel":"Toiminnot","settings.localEnvironments.environment.create":"Luo paikallinen ympäristö","settings.localEnvironments.environment.defaultName":"paikallinen","settings.localEnvironments.environment.edit":"Muokkaa paikallista ympäristöä","settings.localEnvironments.environment.empty":"Tälle projektille ei vielä ole määritetty paikallista ympäristöä.","settings.localEnvironments.environment.name":"Nimi","settings.localEnvironments.environment.setup":"Määrityskomentosarja","settings.localEnvironments.environment.setup.description":"Tämä komentosarja suoritetaan työpuun luonnissa.","settings.localEnvironments.environment.setup.hint":"Suoritetaan projektin juuressa.","settings.localEnvironments.environment.setup.platformOverrides":"Alustan ohitukset","settings.localEnvironments.environment.setup.platformOverrides.add":"Lisää alustan {platform} määrityskomentosarja","settings.localEnvironments.environment.setup.platformOverrides.description":"Ohittaa oletuskomentosarjan tietyissä käyttöjärjestelmissä.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Poista","settings.localEnvironments.environment.setup.script":"Komentosarja","settings.localEnvironments.environment.title":"Ympäristön tiedot","settings.localEnvironments.file.missing":"Tallenna, jotta voit luoda tiedoston ensimmäisen kerran.","settings.localEnvironments.file.parseError":"Nykyisen tiedoston jäsennys ei onnistu. Tallentaminen korvaa sen. ({error})","settings.localEnvironments.file.path":"Tiedosto: {path}","settings.localEnvironments.file.readError":"Paikallisen ympäristön tietojen lataaminen epäonnistui. ({error})","settings.localEnvironments.file.title":"Paikallisen ympäristön tiedosto","settings.localEnvironments.loading.body":"Haetaan projektisi määritystä.","settings.localEnvironments.loading.title":"Ladataan paikallisia ympäristöjä","settings.localEnvironments.preview.devOnly":"(Vain kehittäjät)","settings.localEnvironments.preview.save":"Tallenna","settings.localEnvironments.preview.saveError":"Tiedoston tallentaminen epäonnistui. ({error})","settings.localEnvironments.preview.title":"Esikatselu","settings.localEnvironments.save.disabled.name":"Lisää ympäristön nimi tallentaaksesi.","settings.localEnvironments.save.disabled.noChanges":"Ei tallennettavia muutoksia.","settings.localEnvironments.save.disabled.saving":"Tallennetaan...","settings.localEnvironments.save.success":"Paikallinen ympäristö tallennettu","settings.localEnvironments.unavailable.body":"Projektin paikallisia ympäristöasetuksia ei voitu ladata.","settings.localEnvironments.unavailable.title":"Paikallisia ympäristöjä ei ole saatavilla","settings.localEnvironments.workspace.add":"Lisää projekti","settings.localEnvironments.workspace.title":"Projekti","settings.localEnvironments.workspaceSelect.addLabel":"Lisää ympäristö","settings.localEnvironments.workspaceSelect.description":"Paikalliset ympäristöt kertovat Codexille, miten määritetään työpuut projektille. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ei vielä projekteja. Lisää yksi paikallisten ympäristöjen määrittämiseksi.","settings.localEnvironments.workspaceSelect.errorLabel":"Ympäristö vaatii huomiota","settings.localEnvironments.workspaceSelect.learnMore":"Lue lisää","settings.localEnvironments.workspaceSelect.listLabel":"Käytettävissä olevat projektit","settings.localEnvironments.workspaceSelect.loading":"Ladataan projekteja.","settings.localEnvironments.workspaceSelect.loadingLabel":"Ladataan ympäristöä","settings.localEnvironments.workspaceSelect.title":"Valitse projekti","settings.localEnvironments.workspaceSelect.viewAction":"Näytä","settings.mcp.addServer":"Lisää palvelin","settings.mcp.app.configure":"Määritä","settings.mcp.app.connect":"Yhdistä","settings.mcp.apps.refresh":"Päivitä","settings.mcp.detail.addArgument":"Lisää argumentti","settings.mcp.detail.addEnvVar":"Lisää ympäristömuuttuja","settings.mcp.detail.addEnvVarPassthrough":"Lisää muuttuja","settings.mcp.detail.args":"Argumentit","settings.mcp.detail.back":"Takaisin","settings.mcp.detail.command":"Käynnistyskomento","settings.mcp.detail.cwd":"Työhakemisto","settings.mcp.detail.docs":"Avaa MCP-dokumentaatio","settings.mcp.detail.docs.link":"Asiakirjat","settings.mcp.detail.envVarPassthrough":"Ympäristömuuttujien läpikulku","settings.mcp.detail.envVars":"Ympäristömuuttujat","settings.mcp.detail.http.addEnvHeader":"Lisää muuttuja","settings.mcp.detail.http.addHeader":"Lisää otsake","settings.mcp.detail.http.bearerToken":"Haltijatunnisteen ympäristömuuttuja","settings.mcp.detail.http.envHeaders":"Ympäristönmuuttujien otsakkeet","settings.mcp.detail.http.headers":"Otsakkeet","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nimi","settings.mcp.detail.save":"Tallenna","settings.mcp.detail.switchTransportNotice":"Jos haluat vaihtaa MCP-palvelimen tyypin, poista ensin asennus.","settings.mcp.detail.titleExisting":"Päivitä MCP {name}","settings.mcp.detail.titleNew":"Yhdistä mukautettuun MCP:hen","settings.mcp.detail.transport.http":"Striimattava HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Poista asennus","settings.mcp.empty":"Ei yhdistettyjä mukautettuja MCP-palvelimia","settings.mcp.myServers":"Mukautetut palvelimet","settings.mcp.partnerServer.description.figma":"Luo parempaa koodia tuomalla täysi Figma-konteksti","settings.mcp.partnerServer.description.github":"Automatisoi työnkulkuja ja pura tietoa integroimalla GitHubin API:t","settings.mcp.partnerServer.description.linear":"Integroi Linearin ongelmanseuranta ja projektinhallinta","settings.mcp.partnerServer.description.notion":"Lue dokumentteja, päivitä sivuja, hallinnoi tehtäviä","settings.mcp.partnerServer.description.playwright":"Käytä designia ja testaa käyttöliittymää integroimalla selaimen automaatiot.","settings.mcp.partnerServer.install":"Asenna","settings.mcp.partnerServer.installAndAuthenticate":"Asenna ja todenna","settings.mcp.partnerServer.logoAlt":"Sovelluksen {label} logo","settings.mcp.partnerServer.manage":"Hallinta","settings.mcp.partnerServer.vendor":"tekijältä {vendor}","settings.mcp.recommendedServers":"Suositellut palvelimet","settings.mcp.restartApp":"Käynnistä uudelleen","settings.mcp.restartExtension":"Käynnistä laajennus uudelleen","settings.mcp.server.enable":"Ota käyttöön","settings.mcp.server.login":"Todentaudu","settings.mcp.server.settings":"Asetukset","settings.multiselect.createOption":"Luo ”{value}”","settings.multiselect.removeOption":"Poista","settings.nav.account":"Tili","settings.nav.agent":"Määritykset","settings.nav.ariaLabel":"Asetukset","settings.nav.back":"Takaisin sovellukseen","settings.nav.data-controls":"Arkistoidut ketjut","settings.nav.environments":"Pilviympäristöt","settings.nav.externalTooltip":"[alpha] Avautuu selaimessa","settings.nav.general-settings":"Yleinen","settings.nav.git-settings":"Git","settings.nav.local-environments":"Ympäristöt","settings.nav.mcp-settings":"MCP-palvelimet","settings.nav.notImplemented":"[alpha] Ei saatavilla Alfassa","settings.nav.personalization":"Yksilöinti","settings.nav.skills-settings":"Taidot","settings.nav.usage-analytics":"Käyttö ja analytiikka","settings.nav.worktrees":"Työpuut","settings.openSourceLicenses.back":"Takaisin","settings.openSourceLicenses.loading":"Ladataan...","settings.openSourceLicenses.missing":"Kolmannen osapuolen ilmoituksia ei löytynyt.","settings.openSourceLicenses.notSupported":"Ei vielä saatavilla tässä isännässä.","settings.openSourceLicenses.rowDescription":"Kolmannen osapuolen ilmoitukset niputetuista riippuvuuksista","settings.openSourceLicenses.rowLabel":"Avoimen lähdekoodin lisenssit","settings.openSourceLicenses.subtitle":"Tähän sovellukseen sisältyvät kolmannen osapuolen ilmoitukset","settings.openSourceLicenses.title":"Avoimen lähdekoodin lisenssit","settings.openSourceLicenses.view":"Näytä","settings.personalization.agents.description":"Muokkaa ohjeita, joilla Codex räätälöidään sinulle sopivaksi. {learnMore}","settings.personalization.agents.learnMore":"Lue lisää","settings.personalization.agents.loadError":"agents.md-tiedoston lataaminen ei onnistunut.","settings.personalization.agents.loading":"Ladataan agents.md-tiedostoa…","settings.personalization.agents.placeholder":"Lisää mukautetut ohjeet…","settings.personalization.agents.retry":"Yritä uudelleen","settings.personalization.agents.save":"Tallenna","settings.personalization.agents.save.error":"agents.md-tiedoston tallentaminen ei onnistunut","settings.personalization.agents.save.success":"agents.md tallennettu","settings.personalization.agents.title":"Mukautetut ohjeet","settings.personalization.personality.description":"Valitse oletussävy Codex-vastauksille","settings.personalization.personality.label":"Persoonallisuus","settings.sample.contentBody":"Käytä tätä asettelua, niin asetuspaneeliesi välistys on yhtenäinen.","settings.sample.contentTitle":"Esimerkki sisältölohkosta","settings.section.account":"Tili","settings.section.agent":"Määritykset","settings.section.data-controls":"Arkistoidut ketjut","settings.section.environments":"Pilviympäristöt","settings.section.external":"Avautuu selaimessa alfaversiossa","settings.section.general-settings":"Yleinen","settings.section.git-settings":"Git","settings.section.local-environments":"Ympäristöt","settings.section.mcp-settings":"MCP-palvelimet","settings.section.mcp-settings.docs":"Asiakirjat","settings.section.mcp-settings.subtitle":"Yhdistä ulkoiset työkalut ja tietolähteet.","settings.section.personalization":"Yksilöinti","settings.section.skills-settings":"Taidot","settings.section.unavailable":"Ei vielä saatavilla alfaversiossa","settings.section.usage-analytics":"Käyttö ja analytiikka","settings.section.worktrees":"Työpuut","settings.threadDetail.description":"Valitse, kuinka paljon komennon tuotoksesta näytetään ketjuissa","settings.threadDetail.label":"Ketjun tiedot","settings.worktrees.conversation.untitled":"Nimetön keskustelu","settings.worktrees.delete.error":"Työpuun poistaminen epäonnistui","settings.worktrees.empty.body":"Codex-ohjelmalla luodut työpuut näkyvät tässä.","settings.worktrees.empty.title":"Ei vielä työpuita","settings.worktrees.error.body":"Jokin meni vikaan ladattaessa työpuita.","settings.worktrees.error.retry":"Yritä uudelleen","settings.worktrees.error.title":"Työpuita ei voitu ladata","settings.worktrees.loading.body":"Haetaan työpuun tietoja.","settings.worktrees.loading.title":"Ladataan työnpuita","settings.worktrees.repository.loading":"Ladataan varaston metatietoja…","settings.worktrees.repository.unknown":"Tuntematon varasto","settings.worktrees.row.conversations":"Keskustelut","settings.worktrees.row.conversations.empty":"Tähän työpuuhun ei liity keskusteluja.","settings.worktrees.row.conversations.loading":"Ladataan keskusteluja...","settings.worktrees.row.delete":"Poista","settings.worktrees.row.title":"Työpuu","sidebarElectron.addWorkspaceRoot":"Lisää uusi projekti","sidebarElectron.archiveThread":"Arkistoi ketju","sidebarElectron.archiveThreadError":"Ketjun arkistointi epäonnistui","sidebarElectron.collapseFolder":"Kutista kansio","sidebarElectron.createStableWorktree.dialog.cancel":"Peruuta","sidebarElectron.createStableWorktree.dialog.create":"Luo","sidebarElectron.debugNavLink":"Poista virheet","sidebarElectron.editWorkspaceRootOptionName":"Muokkaa nimeä","sidebarElectron.expandFolder":"Laajenna kansio","sidebarElectron.groupByMenu.recency":"Kronologinen luettelo","sidebarElectron.groupByMenu.title":"Järjestä","sidebarElectron.groupByMenu.workspace":"Projektin mukaan","sidebarElectron.inboxRouteNavLink":"Automaatiot","sidebarElectron.markThreadUnread":"Merkitse lukemattomaksi","sidebarElectron.missingWorkspaceRoot":"Tämä projektikansio on poistettu tai siirretty","sidebarElectron.newThread":"Uusi ketju","sidebarElectron.newThreadInGroup":"Aloita uusi ketju kansiossa {folder}","sidebarElectron.noRecentThreads":"Ei viimeaikaisia ketjuja","sidebarElectron.noTasks":"Ei ketjuja","sidebarElectron.noTasks.start":"Lisää uusi projekti","sidebarElectron.noTasksWithFilter":"Mikään ketju ei vastaa suodattimia","sidebarElectron.pinnedThreads":"Kiinnitetyt ketjut","sidebarElectron.recentNavLink":"Ketjut","sidebarElectron.recentThreads":"Viimeaikaiset ketjut","sidebarElectron.removeWorkspaceRootOption":"Poista","sidebarElectron.renameThread":"Nimeä ketju uudelleen","sidebarElectron.renameThreadDialogAriaLabel":"Ketjun otsikko","sidebarElectron.renameThreadDialogCancel":"Peruuta","sidebarElectron.renameThreadDialogPlaceholder":"Lisää otsikko…","sidebarElectron.renameThreadDialogSave":"Tallenna","sidebarElectron.renameThreadDialogSubtitle":"Valitse lyhyt ja helposti tunnistettava otsikko.","sidebarElectron.renameThreadDialogTitle":"Nimeä ketju uudelleen","sidebarElectron.renameThreadError":"Ketjun uudelleen nimeäminen epäonnistui","sidebarElectron.renameWorkspaceRootOptionLabel":"Näyttönimi","sidebarElectron.showLess":"Näytä vähemmän","sidebarElectron.showMenu.all":"Kaikki ketjut","sidebarElectron.showMenu.relevant":"Asiaankuuluva","sidebarElectron.showMenu.relevantHint":"Näytä vain viimeaikaiset ketjut nykyiselle haaralle, työpuille tai muille huomiotasi vaativille ketjuille","sidebarElectron.showMenu.title":"Näytä","sidebarElectron.showMenu.tooltip":"Suodata, lajittele ja järjestä ketjut","sidebarElectron.showMenu.trigger":"Suodata sivupalkin ketjuja","sidebarElectron.showMore":"Näytä enemmän","sidebarElectron.skillsRouteNavLink":"Taidot","sidebarElectron.sortMenu.created":"Luotu","sidebarElectron.sortMenu.title":"Lajittele kohteen mukaan","sidebarElectron.sortMenu.updated":"Päivitetty","sidebarElectron.taskNavigation":"Automaatiokansiot","sidebarElectron.tasksInFolder":"Automaatiot kansiossa {folder}","sidebarElectron.workspaceOptions":"Projektin toiminnot kohteelle {folder}","sidebarElectron.worktreeGroupTooltip":"Tämä on git-työpuu","skills.appsPage.createSkill":"Uusi taito","skills.appsPage.empty.skills":"Taitoja ei löydetty","skills.appsPage.search.skills":"Hae taitoja","skills.appsPage.search.skills.label":"Hae taitoja","skills.appsPage.section.installedApps":"Asennettu","skills.appsPage.section.skills":"Taidot","skills.appsPage.subheading":"Anna Codexille supervoimat. <link>Lue lisää</link>","skills.appsPage.tab.recommended":"Suositeltu","skills.appsPage.tab.skills":"Taidot","skills.card.contentsError":"Taitosisältöjen lataaminen ei onnistunut.","skills.card.disable":"Poista käytöstä","skills.card.disableSuccess":"{skillName} taito pois käytöstä","skills.card.disabledBadge":"Ei käytössä","skills.card.enable":"Ota käyttöön","skills.card.enableSuccess":"{skillName} taito otettu käyttöön","skills.card.loadingContents":"Ladataan taitosisältöjä...","skills.card.more":"Lisää toimintoja","skills.card.open":"Avaa","skills.card.removeFailed":"Taidon poistaminen epäonnistui","skills.card.removeSuccess":"{skillName} taito poistettu käytöstä","skills.card.toggleEnabledError":"Taidon päivittäminen epäonnistui","skills.card.try":"Kokeile","skills.card.trySkill":"Kokeile taitoa","skills.card.uninstall":"Poista asennus","skills.hero.dotLabel":"Siirry diaan {index}","skills.hero.next":"Seuraava esiteltävä taito","skills.hero.trySkill":"Kokeile taitoa","skills.page.createSkill":"Uusi taito","skills.page.empty":"Taitoja ei löydetty","skills.page.filteredEmpty":"Mitkään taidot eivät vastaa suodattimiasi","skills.page.filteredEmptyDescription":"Kokeile muokata hakua tai suodattimien laajuutta","skills.page.heading":"Taidot","skills.page.loading":"Ladataan taitoja...","skills.page.refreshSkills":"Päivitä","skills.page.refreshSkillsToUseNew":"Päivitä käyttääksesi uusia taitoja","skills.page.search":"Hae taitoja","skills.page.search.label":"Hae taitoja","skills.page.subheading":"Anna Codexille supervoimat. <link>Lue lisää</link>","skills.preview.copyPrompt":"Kopioi kehote","skills.preview.examplePrompt":"Esimerkki kehotteesta","skills.recommended.error":"Suositeltujen taitojen lataaminen ei onnistunut","skills.recommended.install":"Asenna","skills.recommended.installSkill":"Asenna taito","skills.recommended.installSuccess":"{skillName} taito asennettu","skills.recommended.installed":"Asennettu","skills.scope.admin":"Ylläpitäjä","skills.scope.adminInstalled":"Ylläpitäjä asennettu","skills.scope.builtIn":"Järjestelmä","skills.scope.personal":"Henkilökohtainen","skills.scope.repo":"Varasto","skills.scope.system":"Järjestelmä","skills.scope.team":"Tiimi","skills.scope.user":"Käyttäjä","skills.section.installed":"Asennettu","skills.section.recommended":"Suositeltu","story.slidingToggle.existing":"Olemassa oleva","story.slidingToggle.fromLocal":"Paikallisesta","story.slidingToggle.new":"Uusi","story.slidingToggle.toLocal":"Paikalliseen","terminal.close":"Sulje terminaali","terminal.title":"Terminaali","thinkingShimmer.default":"Miettii","threadEnvIcon.cloudTooltip":"Keskustelu on käynnissä Codex Cloudissa.","threadEnvIcon.localTooltip":"Keskustelu on käynnissä paikallisesti.","threadEnvIcon.worktreeTooltip":"Keskustelu käydään paikallisessa git-työpuussa.","threadHeader.archiveConfirmCancel":"Peruuta","threadHeader.archiveConfirmConfirm":"Arkistoi","threadHeader.archiveConfirmSubtitle":"Löydät sen myöhemmin arkistoiduista ketjuista.","threadHeader.archiveConfirmTitle":"Arkistoidaanko ketju?","threadHeader.copyAppLink":"Kopioi syvälinkki","threadHeader.copySessionId":"Kopioi istunnon tunnus","threadHeader.copyWorkingDirectory":"Kopioi työhakemisto","threadHeader.forkIntoLocal":"Haaroita paikalliseen","threadHeader.forkIntoWorktree":"Haaroita uuteen työpuuhun","threadHeader.forkPendingWorktreePrompt":"Haaroita tämä keskustelu uuteen työpuuhun.","threadHeader.forkPendingWorktreeTitle":"Haaroitettu keskustelu","threadHeader.forkThreadError":"Ketjun haaroittaminen epäonnistui","threadHeader.forkThreadRequiresGitRepo":"Haaroitus uuteen työpuuhun vaatii git-repositorion","threadHeader.moreActions":"Ketjutoiminnot","threadPage.newThread":"Uusi ketju","threadPage.runAction.changeEnvironment":"Luo ympäristö","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} toimintoa","threadPage.runAction.environmentSelector.label":"Valitse ympäristö","threadPage.runAction.label":"Suoritettiin","threadPage.runAction.missing.label":"Määritä suoritustoiminto","threadPage.runAction.setup.commandLabel":"Suorituskomento","threadPage.runAction.setup.description":"Kerro Codexille, miten haluat asentaa riippuvuudet, ja käynnistä sovellus.","threadPage.runAction.setup.editMore":"Ympäristön asetukset","threadPage.runAction.setup.placeholder":"esim. npm install npm run","threadPage.runAction.setup.submit":"Tallenna ja suorita","threadPage.runAction.setup.title":"Suoritettiin","threadPage.runAction.tooltip.withEnvironment":"{environmentName} toimintoa","threadPage.toggleDiffPanel":"Valitse muutosraportin paneeli","threadPage.toggleTerminal":"Vaihda terminaali","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Avaa kansio","toolSummaryForCmd.exploredFiles":"<verb>Lueteltiin</verb> tiedostoja","toolSummaryForCmd.exploredFilesInPath":"<verb>Lueteltiin</verb> tiedostoja polulla {path}","toolSummaryForCmd.exploringFiles":"<verb>Lueteltiin</verb> tiedostoja","toolSummaryForCmd.exploringFilesInPath":"<verb>Lueteltiin</verb> tiedostoja polulla {path}","toolSummaryForCmd.ranGenericCommand":"<status>Suorita komento</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Suoritti tämän: </status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lue</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Koodia suoritetaan</status>{timer}","toolSummaryForCmd.runningTimer":"kohteelle {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Haettiin</verb> haulla {query}","toolSummaryForCmd.searchedForFiles":"<verb>Haettiin</verb> tiedostoja","toolSummaryForCmd.searchedForInPath":"<verb>Haettiin</verb> haulla {query} polulta {path}","toolSummaryForCmd.searchingFor":"<verb>Haettiin</verb> haulla {query}","toolSummaryForCmd.searchingForFiles":"<verb>Haettiin</verb> tiedostoja","toolSummaryForCmd.searchingForInPath":"<verb>Haettiin</verb> haulla {query} polulta {path}","traceRecording.details.noteLabel":"Mitä olit tekemässä, kun tämä tapahtui? (valinnainen)","traceRecording.details.notePlaceholder":"Navigoin suureen ketjuun ja vaihdoin välilehtiä useita kertoja peräkkäin…","traceRecording.details.submit":"Lähetä jälki","traceRecording.details.subtitle":"Voimme lähettää tämän profiilijäljen tukemaan tehokkuusongelmien diagnosointia.","traceRecording.details.title":"Lähetetäänkö profiilijälki?","traceRecording.progress.subtitle":"Pidä Codex auki, kunnes tämä on suoritettu loppuun.","traceRecording.saving.title":"Tallennetaan jälkeä…","traceRecording.startDetails.cancel":"Peruuta","traceRecording.startDetails.submit":"OK, aloita tallentaminen","traceRecording.startDetails.subtitle":"Kun olet napsauttanut OK, toista tehokkuusongelma ja napsauta sitten leijuvaa punaista osoitinta, niin jäljen tallentaminen keskeytyy ja voit tarkastaa sen.","traceRecording.startDetails.title":"Miten jäljen tallentaminen toimii?","traceRecording.stopButton.ariaLabel":"Keskeytä jäljen tallentaminen","traceRecording.upload.successToast":"Profiilijälki lähetettiin.","traceRecording.uploading.title":"Ladataan jälkeä…","wham.diff.addComment":"Lisää kommentti","wham.diff.binaryFile":"Binääritiedostoa ei näytetä","wham.diff.noContent":"Ei sisältöä","wham.fileTag.deleted":"Poistettu","wham.fileTag.new":"Uusi","wham.formattedRelativeDateTime.compactDaysAgo":"{value} pv","wham.formattedRelativeDateTime.compactHoursAgo":"{value} t","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} kk","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} vk","wham.formattedRelativeDateTime.compactYearsAgo":"{value} v","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Tehtävääsi suoritetaan","wham.whamProposedTask.title":"Ehdotettu tehtävä","wham.whamProposedTask.useSuggestion":"Käytä ehdotusta","workspaceRootDialog.addError":"Projektin lisääminen epäonnistui","workspaceRootDialog.cancel":"Peruuta","workspaceRootDialog.confirmAdd":"Lisää projekti","workspaceRootDialog.confirmPick":"Käytä projektia","workspaceRootDialog.description":"Syötä polku kohteessa {host} käytettäväksi projektina.","workspaceRootDialog.pathLabel":"Projektin polku","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Lisää projektin polku","workspaceRootDialog.title.pick":"Valitse projektin polku","worktreeInitV2.cancel":"Peruuta","worktreeInitV2.notification.failedTitle":"Työpuun määritys epäonnistui","worktreeInitV2.output.empty":"Odotetaan tuotosta...","worktreeInitV2.status.error":"Työpuun määritys epäonnistui.","worktreeInitV2.status.running":"Luodaan työpuuta ja suoritetaan määritystä.","worktreeInitV2.status.runningFork":"Luodaan työpuuta tämän keskustelun haaroittamiseksi.","worktreeInitV2.status.success":"Työpuu on valmis.","worktreeInitV2.title":"Luodaan työpuuta","worktreeInitV2.workLocallyInstead":"Työskentele sen sijaan paikallisesti","worktreeRestoreBanner.body":"Tämän ketjun työpuu poistettiin levytilan säästämiseksi","worktreeRestoreBanner.missing.body":"Tämän ketjun työhakemistoa ei ole enää olemassa","worktreeRestoreBanner.missing.title":"Nykyinen työkansio puuttuu","worktreeRestoreBanner.restore.error":"Työpuun {message} palauttaminen epäonnistui","worktreeRestoreBanner.restore.success":"Työpuu palautettu","worktreeRestoreBanner.restoreCta":"Palauta työpuu","worktreeRestoreBanner.title":"Työpuu siivottu"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopioi","app.sidebar.hide":"Piilota sivupalkki","app.sidebar.show":"Näytä sivupalkki","app.sidebar.tooltip":"Valitse sivupalkki","appHeader.installUpdate":"Päivitä","appSunset.body":"Tätä sovelluksen versiota ei enää tueta. Lataa uusin versio <here>täältä</here>.","appSunset.title":"Vaatii päivityksen","automation.updateDirective.create":"Luo","automation.updateDirective.open":"Avaa","automation.updateDirective.untitled":"Nimetön automaatio","automation.updateDirective.update":"Päivitä","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# yritys} other {# yritystä}}","cloudTaskRow.archiveError":"Tehtävän arkistointi epäonnistui","code.diff.requestChange":"Pyydä muutosta","code.diffComment.cancel":"Peruuta","code.diffComment.comment":"Kommentti","code.diffComment.delete":"Poista","code.diffComment.save":"Tallenna","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Mitään tuloksia ei raportoitu.","codex.alert.closeAriaLabel":"Sulje","codex.appUpsellBanner.cbpApi.message":"Rakenna nopeammin Codex-sovelluksella. Lataa nyt tai {learnMoreLink}.","codex.appUpsellBanner.download":"Lataa","codex.appUpsellBanner.freeGo.message":"Codex sisältyy pakettiisi 2. maaliskuuta asti. Kokeile Codex-sovellusta rakentaaksesi nopeammin.","codex.appUpsellBanner.later":"Myöhemmin","codex.appUpsellBanner.learnMoreLowercase":"lue lisää","codex.appUpsellBanner.new":"Uusi","codex.appUpsellBanner.proPlusBusiness.message":"Kokeile Codex-sovellusta kaksinkertaisella käyttörajalla 2. huhtikuuta asti. Lataa nyt tai {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-sovellus","codex.applyDropdown.header.changes":"Muutokset","codex.applyDropdown.header.fileCount":"{count, plural, one {# tiedosto} other {# tiedostoa}}","codex.applyDropdown.header.rows":"riviä","codex.applyDropdown.header.title":"Tee muutokset","codex.applyDropdown.header.workspace":"Projekti","codex.applyDropdown.results.conflicted":"{count, plural, one {Konflikti 1 tiedostossa:} other {Konflikti {count} tiedostossa:}}","codex.applyDropdown.results.empty":"Tiedostoja ei kopioitu","codex.applyDropdown.results.skipped":"{count, plural, one {1 tiedosto ohitettiin:} other {{count} tiedostoa ohitettiin:}}","codex.applyOrRevertBanner.apply":"Sovella","codex.applyOrRevertBanner.applyMessage":"Tehdäänkö muutokset ja jatketaan paikallisesti?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Tämä tehtävä tehtiin kohteessa {environment}, eikä välttämättä sovellu puhtaasti.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Kohteessa {environment} tehdyt muutokset eivät välttämättä sovellu puhtaasti.","codex.applyOrRevertBanner.reapply":"Tee uudelleen","codex.applyOrRevertBanner.revert":"Palauta","codex.applyOrRevertBanner.revertMessage":"Perutaanko tehdyt muutokset?","codex.applyResultsDialog.applied":"Soveltui puhtaasti ({count})","codex.applyResultsDialog.close":"Sulje","codex.applyResultsDialog.conflicted":"Konflikteja ({count})","codex.applyResultsDialog.noDetails":"Tiedoston tiedot eivät ole saatavilla.","codex.applyResultsDialog.skipped":"Ohitettiin ({count})","codex.applyResultsDialog.title":"Sovella tulokset","codex.archiveInfo":"Näytä arkistoidut keskustelut kohteessa {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Tiedonhallinta","codex.archiveInfo.electron":"Näytä arkistoidut keskustelut kohteessa {settingsLink}","codex.archiveInfo.extension":"Näytä arkistoidut keskustelut .codex-kansiossa.","codex.archiveInfo.settingsLink":"Asetukset","codex.banner.content.description":"Suorita tehtäviä rinnakkain, seuraa edistymistä kaikkialla ja tarkasta pull-pyyntöjä tekoälyllä.","codex.banner.content.headline":"Codex tekee kaiken.","codex.cloudTaskRow.archiveTask":"Arkistoi tehtävä","codex.cloudTaskRow.confirmArchiveTask":"Vahvista","codex.command.feedback":"Palaute","codex.command.findInThread":"Etsi","codex.command.forceReloadSkills":"Pakota taitojen uudelleenlataus","codex.command.logOut":"Kirjaudu ulos","codex.command.manageTasks":"Tehtävien hallinta","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Takaisin","codex.command.navigateForward":"Lähetä eteenpäin","codex.command.newThread":"Uusi ketju","codex.command.nextThread":"Seuraava ketju","codex.command.openFolder":"Avaa kansio","codex.command.openSkills":"Siirry taitoihin","codex.command.openThreadOverlay":"Avaa ketju erikseen","codex.command.personalitySettings":"Persoonallisuus","codex.command.previousThread":"Edellinen ketju","codex.command.settings":"Asetukset","codex.command.toggleDiffPanel":"Valitse muutosraportin paneeli","codex.command.toggleSidebar":"Valitse sivupalkki","codex.command.toggleTerminal":"Vaihda terminaali","codex.commandGroup.app":"Sovellus","codex.commandGroup.configure":"Määritä","codex.commandGroup.navigation":"Navigointi","codex.commandGroup.panels":"Paneelit","codex.commandGroup.skills":"Taidot","codex.commandGroup.thread":"Ketju","codex.commandGroup.workspace":"Projekti","codex.commandMenu.noResults":"Ei osumia","codex.commandMenu.searchPlaceholder":"Hakukomennot","codex.commandMenu.suggestedGroup":"Ehdotettu","codex.commandMenu.switchWorkspace":"Vaihda projektia","codex.commandMenu.title":"Komentovalikko","codex.common.retry":"Yritä uudelleen","codex.composer.searchBranches":"Hae haaroista","codex.dialog.basic.body":"Tämä on yksinkertainen modaali-ikkuna, joka käyttää käärettämme Radix-ikkunan ympärillä.","codex.dialog.basic.cancel":"Peruuta","codex.dialog.basic.confirm":"Vahvista","codex.dialog.basic.open":"Avaa ikkuna","codex.dialog.basic.title":"Esimerkki-ikkuna","codex.dialog.long.close":"Sulje","codex.dialog.long.line":"Selattava rivi {index} ikkunan sisällä olevan pitkän sisällön demonstroimiseksi.","codex.dialog.long.open":"Avaa pitkä ikkuna","codex.dialog.long.title":"Pitkän sisällön ikkuna","codex.dialog.unstyled.body":"Tämä tarina näyttää, miten soittajat voivat hallita täysin ikkunan sisältötyyliä.","codex.dialog.unstyled.open":"Avaa tyylittelemätön ikkuna","codex.dialog.unstyled.title":"Tyylittelemätön sisältö","codex.diff.openInEditorPrompt.openButton":"Avaa editorissa","codex.diff.openInEditorPrompt.singleLine":"Tiedosto on liian suuri näytettäväksi täällä.","codex.diffView.failedToDecodeBase64Diff":"Base64-muutosraportin dekoodaus epäonnistui","codex.diffView.filesChanged":"{fileCount, plural, one {# tiedosto muutettu} other {# tiedostoa muutettu}}","codex.diffView.imagePreviewAlt":"Kuvien esikatselu","codex.diffView.imagePreviewEmpty":"Ei kuvaa","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Ei muutosraporttitietoja","codex.diffView.pdfPreview.nextPage":"Seuraava sivu","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Edellinen sivu","codex.diffView.pdfPreviewEmpty":"Ei PDF-esikatselua","codex.diffView.pdfPreviewError":"PDF-esikatselun luominen ei onnistunut","codex.diffView.richPreviewDisable":"Poista rikas esikatselu käytöstä","codex.diffView.richPreviewEnable":"Ota rikas esikatselu käyttöön","codex.diffView.richPreviewLoading":"Ladataan esikatselua...","codex.diffView.richPreviewToggle":"Valitse rikas esikatselu","codex.diffView.switchToUnified":"Vaihda yhtenäiseen muutosraporttiin","codex.environmentSelector.noEnvironment":"Ei ympäristöä","codex.environments.environmentSettings":"Ympäristön asetukset","codex.environments.learnMore":"Lue lisää","codex.environments.listError":"Ympäristöjen lataaminen epäonnistui.","codex.environments.noEnvironmentsFound":"Ympäristöjä ei löydetty","codex.environments.searchError":"Ympäristöistä hakeminen epäonnistui.","codex.errorBoundary.genericError":"Hups, tapahtui jokin virhe","codex.errorBoundary.goHome":"Yritä uudelleen","codex.file.patch.missing":"Tälle tiedostolle ei voitu luoda korjauspäivitystä.","codex.gallery.automations.cwdLabel":"Projektit","codex.gallery.automations.nameLabel":"Nimi","codex.gallery.automations.namePlaceholder":"Tee yhteenveto tehtävistä","codex.gallery.automations.promptLabel":"Kehote","codex.gallery.automations.promptPlaceholder":"Kuvaile, mitä Codexin pitäisi tehdä","codex.gallery.dialogs.automation.label":"Automaatioikkuna","codex.gallery.dialogs.basic.body":"Käytä tätä asettelua yksinkertaisille vahvistuksille tai lyhyille lomakkeille.","codex.gallery.dialogs.basic.cancel":"Peruuta","codex.gallery.dialogs.basic.confirm":"Vahvista","codex.gallery.dialogs.basic.label":"Perusikkina","codex.gallery.dialogs.basic.title":"Esimerkki-ikkuna","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Kuvaile ongelmaa","codex.gallery.dialogs.feedbackSubmission.bad":"Huono tulos","codex.gallery.dialogs.feedbackSubmission.bug":"Virhe","codex.gallery.dialogs.feedbackSubmission.good":"Hyvä tulos","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Sisällytä nykyisen Codex-istunnon lokit","codex.gallery.dialogs.feedbackSubmission.label":"Palautteen lähetys","codex.gallery.dialogs.feedbackSubmission.other":"Muu","codex.gallery.dialogs.feedbackSubmission.placeholder":"Kuvaile ongelmaa tässä","codex.gallery.dialogs.feedbackSubmission.submit":"Lähetä","codex.gallery.dialogs.feedbackSubmission.title":"Palaute","codex.gallery.dialogs.feedbackSuccess.body":"Palaute lähetetty. Jos ongelma jatkuu, avaa GitHub-ongelma tai mainitse ketjun tunniste nykyisessä avoimessa kysymyksessä:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Hylkää","codex.gallery.dialogs.feedbackSuccess.label":"Palaute onnistui","codex.gallery.dialogs.feedbackSuccess.title":"Palaute lähetetty","codex.gallery.dialogs.gitApplyResults.applied":"Soveltui puhtaasti (2)","codex.gallery.dialogs.gitApplyResults.close":"Sulje","codex.gallery.dialogs.gitApplyResults.conflicted":"Konflikteja: (1)","codex.gallery.dialogs.gitApplyResults.label":"Sovella tulokset","codex.gallery.dialogs.gitApplyResults.title":"Sovella tulokset","codex.gallery.dialogs.gitPushError.body":"Hae viimeisimmät muutokset tai pakota push-lähetys, jos tiedät, että etähistoria on turvallista korvata.","codex.gallery.dialogs.gitPushError.cancel":"Peruuta","codex.gallery.dialogs.gitPushError.force":"Pakota push-lähetys","codex.gallery.dialogs.gitPushError.label":"Push-virhe","codex.gallery.dialogs.gitPushError.subtitle":"Haarasi on alkuperäisen/pääasiallisen takana.","codex.gallery.dialogs.gitPushError.title":"Muutosten lähettäminen epäonnistui","codex.gallery.dialogs.gitRevert.cancel":"Peruuta","codex.gallery.dialogs.gitRevert.confirm":"Peruuta","codex.gallery.dialogs.gitRevert.label":"Peruuta muutokset","codex.gallery.dialogs.gitRevert.skip":"Älä kysy uudelleen","codex.gallery.dialogs.gitRevert.subtitle":"Tämä toiminto poistaa kaikki nämä muutokset.","codex.gallery.dialogs.gitRevert.title":"Peruutetaanko muutokset?","codex.gallery.dialogs.longForm.label":"Pitkän muodon ikkuna","codex.gallery.dialogs.proseModal.body":"Tätä modaalista tyyliä käytetään pidempiin ohjeisiin, perehdytykseen tai rikkaisiin sisältölohkoihin.","codex.gallery.dialogs.proseModal.close":"Sulje","codex.gallery.dialogs.proseModal.subtitle":"Jaa täällä pidempimuotoiset ohjeet tai dokumentaatio.","codex.gallery.dialogs.proseModal.title":"Proosan modaali","codex.gallery.dialogs.submitBlocked.label":"Lähetys estetty","codex.gallery.dialogs.submitBlocked.message":"Viestiäsi ei voitu lähettää, koska projekti ei ole käytettävissä.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Viestin lähettäminen ei onnistunut","codex.gallery.dialogs.title":"Ikkunat","codex.gallery.dropdown.filterPlaceholder":"Suodata kohteita","codex.gallery.dropdowns.actionRow":"Toimintorivit","codex.gallery.dropdowns.actionRow.disabled":"Toiminto poistettu käytöstä","codex.gallery.dropdowns.actionRow.primary":"Ensisijainen toiminto","codex.gallery.dropdowns.actionRow.secondary":"Toissijainen toiminto","codex.gallery.dropdowns.actionRow.trigger":"Näytä toiminnot","codex.gallery.dropdowns.basic":"Peruspudotusvalikko","codex.gallery.dropdowns.basic.newFile":"Uusi tiedosto","codex.gallery.dropdowns.basic.newFolder":"Uusi kansio","codex.gallery.dropdowns.basic.openSettings":"Avaa asetukset","codex.gallery.dropdowns.basic.title":"Pikatoiminnot","codex.gallery.dropdowns.basic.trigger":"Avaa valikko","codex.gallery.dropdowns.basic.upload":"Lähetä","codex.gallery.dropdowns.panel":"Paneelipinta","codex.gallery.dropdowns.panel.apply":"Ota käyttöön","codex.gallery.dropdowns.panel.body":"Tarkasta erot ja ota ne käyttöön projektissasi.","codex.gallery.dropdowns.panel.preview":"Esikatselu","codex.gallery.dropdowns.panel.title":"Tee muutokset","codex.gallery.dropdowns.panel.trigger":"Avaa paneeli","codex.gallery.dropdowns.search":"Haettava pudotusvalikko","codex.gallery.dropdowns.search.first":"Alfakanava","codex.gallery.dropdowns.search.second":"Beetahaara","codex.gallery.dropdowns.search.third":"Julkaisuehdotus","codex.gallery.dropdowns.search.trigger":"Suodata kohteita","codex.gallery.dropdowns.submenu":"Pudotusvalikko alivalikolla","codex.gallery.dropdowns.submenu.optionA":"Projekti alfa","codex.gallery.dropdowns.submenu.optionB":"Projekti beeta","codex.gallery.dropdowns.submenu.optionC":"Projekti gamma","codex.gallery.dropdowns.submenu.primary":"Määritä omistaja","codex.gallery.dropdowns.submenu.secondary":"Siirrä kohteeseen","codex.gallery.dropdowns.submenu.tertiary":"Arkistoi","codex.gallery.dropdowns.submenu.trigger":"Valitse toiminto","codex.gallery.dropdowns.title":"Pudotusvalikot","codex.gallery.inbox.automations.close":"Sulje","codex.gallery.inbox.automations.popover.cardTitle":"Hallitse automaatioita","codex.gallery.inbox.automations.popover.dialogTitle":"Hallitse automaatioita","codex.header.settingsTooltip":"Asetukset","codex.hunk.patch.error":"Varmentaminen ei onnistunut","codex.hunk.patch.missing":"Tälle muutososalle ei voitu luoda korjauspäivitystä.","codex.hunk.patch.partialSuccess":"Onnistui osittain","codex.hunk.patch.revertError":"Varmennuksen kumoaminen epäonnistui","codex.hunk.patch.revertSuccess":"Varmennuksen kumoaminen onnistui","codex.hunk.patch.success":"Varmentaminen onnistui","codex.legal.autonomy.details":"Lisätietoja löytyy täältä: {link}","codex.legal.autonomy.details.link":"Codex-asiakirjat","codex.legal.autonomy.title":"Päätä, miten paljon autonomiaa haluat antaa","codex.legal.backButton":"Takaisin","codex.legal.cloud.taskOne.meta":"openai/agi · 12. lokakuuta","codex.legal.cloud.taskOne.title":"Selitä varasto uudelle suunnittelijalle","codex.legal.cloud.taskThree.meta":"openai/codex · 8. lokakuuta","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Luo tumma teema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. lokakuuta","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Korjaa perehdytysvirhe","codex.legal.continue.apikey":"Jatka","codex.legal.continueButton":"Seuraava","codex.legal.copilot.details":"Käyttää Copilot-sopimustasi kaikissa mallipuheluissa, laskutuksessa ja käyttörajoissa. Codex-laajennuksen käyttöön vaikuttavat sekä {oaiTos} että {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHubin palveluehdot","codex.legal.copilot.oaiTosLink":"OpenAI Codexin palveluehdot","codex.legal.copilot.title":"Toimii GitHub Copilotilla","codex.legal.mistakes.review":"Tarkasta sen kirjoittamat koodit ja suorittamat komennot","codex.legal.mistakes.title":"Codex saattaa tehdä virheitä","codex.legal.powered.details":"Käyttää sopimuksesi käyttörajoja ja {link}","codex.legal.powered.details.link":"koulutustietoasetuksia","codex.legal.powered.title":"Toimii sinun ChatGPT-tililläsi","codex.legal.step.cloud.subtitle":"Lähetä Codexille tehtäviä taustalla suoritettavaksi, jotta voit keskittyä ja edetä nopeammin.","codex.legal.step.cloud.title":"Anna Codexille pilvessä","codex.legal.step.intro.subtitle":"Codex navigoi, muokkaa, suorittaa komentoja ja tekee testejä suoraan varastossasi. Toimii sinun ChatGPT-tililläsi.","codex.legal.step.intro.title":"Codex IDE:ssäsi","codex.legal.step.todo.subtitle":"Kirjoita TODO-kommentti ja muunna se Codex-tehtäväksi yhdellä klikkauksella.","codex.legal.step.todo.title":"Muuta TODO-komennot Codex-tehtäviksi","codex.legal.todo.heading":"// TODO: toteuta malli","codex.localConversation.closeImagePreview":"Sulje kuvan esikatselu","codex.localConversation.userImageAttachment":"Käyttäjän liite","codex.localTaskRow.archiveTask":"Arkistoi ketju","codex.localTaskRow.awaitingApproval":"Odottaa hyväksyntää","codex.localTaskRow.awaitingResponse":"Odottaa vastausta","codex.localTaskRow.confirmArchiveTask":"Vahvista","codex.loggedOut.apiKeyPrompt.cancel":"Peruuta","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Hanki API-avain","codex.loggedOut.apiKeyPrompt.inputLabel":"Kirjoita OpenAI:n API-avaimesi","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Pilvitehtävät poistettu käytöstä API-avaimella","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Pilvitehtävät poistettu käytöstä Copilotilla ja API-avaimella","codex.loggedOut.signIn":"Kirjaudu sisään ChatGPT:llä","codex.loggedOut.signIn.cancel":"Peruuta sisäänkirjautuminen","codex.loggedOut.signInWithCopilot":"Kirjaudu sisään GitHub Copilotilla","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Käytä API-avainta","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} työkalu","codex.mcpTool.collapsedLabel.verb.called":"Kutsuttu","codex.mcpTool.collapsedLabel.verb.calling":"Kutsutaan","codex.mcpTool.embeddedResource.contentLabel":"Sisältö","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-tyyppi","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Työkalu ei palauttanut sisältöä","codex.mcpTool.rawPayloadHeading":"Raaka {server}.{tool}-työkalukutsun tietosisältö","codex.menu.recent":"Viimeaikainen","codex.menu.seeAllHistory":"Näytä koko historia","codex.modelCapacityBanner.headline.noReset":"{modelName} on tällä hetkellä täynnä. Yritä myöhemmin uudelleen tai aloita uusi keskustelu toisen mallin kanssa.","codex.modelCapacityBanner.headline.withReset":"{modelName} on tällä hetkellä täynnä. Yritä myöhemmin uudelleen {resetDate}, tai aloita uusi keskustelu toisen mallin kanssa.","codex.modelCapacityBanner.title":"Valittu malli on täynnä","codex.patch.change.contentsDeleted":"Sisältö poistettu","codex.patch.change.created":"Luotu","codex.patch.change.created-file":"Tiedosto luotiin","codex.patch.change.creating":"Luodaan","codex.patch.change.deleted":"Poistettu","codex.patch.change.deleted-file":"Tiedosto poistettiin","codex.patch.change.deleting":"Poistetaan","codex.patch.change.edited":"Muokattu","codex.patch.change.edited-file":"Muokattu tiedosto","codex.patch.change.editing":"Muokkaa","codex.patch.change.noChanges":"Ei muutoksia","codex.patch.change.rejected-add":"Hylätty","codex.patch.change.rejected-delete":"Hylätty","codex.patch.change.rejected-edit":"Hylätty","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed}/{total} tehtävää valmiina","codex.plan.todoListCreated":"{total} tehtävän tehtävälista luotu","codex.profileDropdown.apiKeyAuth":"Kirjautunut sisään API-avaimella","codex.profileDropdown.codexSettings":"Codex-asetukset","codex.profileDropdown.copilotAuth":"Kirjautunut sisään Copilotilla","codex.profileDropdown.defaultAccountTitle":"Oletustili","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter lähettääksesi pitkiä kehotteita","codex.profileDropdown.enterBehaviorError":"Asetuksen päivittäminen epäonnistui","codex.profileDropdown.getPlus":"Päivitä saadaksesi korkeammat rajat","codex.profileDropdown.keyboardShortcuts":"Pikanäppäimet","codex.profileDropdown.language":"Kieli","codex.profileDropdown.languageDefault":"Automaattinen havaitseminen","codex.profileDropdown.languageSearchPlaceholder":"Hae kieliä","codex.profileDropdown.languageUpdateError":"Kielen päivittäminen epäonnistui","codex.profileDropdown.logOut":"Kirjaudu ulos","codex.profileDropdown.mcp":"MCP-asetukset","codex.profileDropdown.openConfigToml":"Avaa config.toml","codex.profileDropdown.openConfigToml.wsl":"Avaa config.toml WSL-ympäristössä","codex.profileDropdown.openExtensionSettings":"Avaa asetukset","codex.profileDropdown.openMcpSettings":"Avaa MCP-asetukset","codex.profileDropdown.openOnStartup":"Avaa käynnistyksen yhteydessä","codex.profileDropdown.openOnStartupError":"Asetuksen päivittäminen epäonnistui","codex.profileDropdown.openSkillsSettings":"Avaa Taidot-asetukset","codex.profileDropdown.personalAccountTitle":"Henkilökohtainen tili","codex.profileDropdown.queueFollowUps":"Aseta jatkotoimet jonoon","codex.profileDropdown.queueFollowUpsError":"Asetuksen päivittäminen epäonnistui","codex.profileDropdown.readDocs":"Lue asiakirjat","codex.profileDropdown.readSkillsDocs":"Lue asiakirjat","codex.profileDropdown.runInWsl":"Suorita WSL:ssä","codex.profileDropdown.runInWslError":"Asetuksen päivittäminen epäonnistui","codex.profileDropdown.runInWslTooltip":"Suorittaa Codexia WSL:n sisällä. Suositellaan paremman tietoturvan ja suorituskyvyn saavuttamiseksi hiekkalaatikossa.","codex.profileDropdown.settings":"IDE-asetukset","codex.profileDropdown.settingsPage":"Asetukset","codex.profileDropdown.signInWithOpenAI":"Kirjaudu sisään ChatGPT:llä","codex.profileDropdown.skills":"Taidot-asetukset","codex.profileDropdown.switchToCopilotAccount":"Käytä Copilot-tiliä","codex.profileDropdown.switchToOpenAIAccount":"Käytä OpenAI-tiliä","codex.profileDropdown.todoCodelens":"Korjaa TODO-kommentit","codex.profileDropdown.todoCodelensError":"Asetuksen päivittäminen epäonnistui","codex.profileDropdown.windowsDocumentation":"Windowsin asiakirja","codex.profileFooter.signedInFallback":"Asetukset","codex.profileFooter.upgrade":"Päivitä","codex.recentTasksMenu.clearSearch":"Tyhjennä haku","codex.recentTasksMenu.cloud":"Pilvi-tehtävät","codex.recentTasksMenu.count":"{count, plural, =0 {Ei tehtäviä työn alla} one {# tehtävä työn alla} other {# tehtävää työn alla}}","codex.recentTasksMenu.empty":"Ei vielä ketjuja","codex.recentTasksMenu.errorCloud":"Tehtävien lataaminen epäonnistui.","codex.recentTasksMenu.errorCloud.inline":"Pilvi-tehtävien lataaminen epäonnistui.","codex.recentTasksMenu.filterAll":"Kaikki","codex.recentTasksMenu.filterCloudTasks":"Suodata pilvi-tehtävät","codex.recentTasksMenu.filterTooltip":"Suodata tehtäviä ympäristön mukaan","codex.recentTasksMenu.local":"Paikalliset tehtävät","codex.recentTasksMenu.recent":"Kaikki tehtävät","codex.recentTasksMenu.search":"Hae viimeaikaisia tehtäviä","codex.recentTasksMenu.searchEmpty":"Ei tulosta","codex.recentTasksMenu.tooltip":"Tehtävähistoria","codex.recentTasksMenu.trigger":"Viimeaikaiset tehtävät. {count, plural, one {# käynnissä} other {# käynnissä}}","codex.remoteConversation.applyDiff.applyCta":"Tee muutokset","codex.remoteConversation.applyDiff.dropdownTitle":"Tee muutokset paikalliseen haaraan","codex.remoteConversation.applyDiff.revertCta":"Peruuta muutokset","codex.remoteConversation.closeImagePreview":"Sulje kuvan esikatselu","codex.remoteConversation.codexCloudTask":"Tarkastelet <u>Codex Cloud</u> -tehtävää","codex.remoteConversation.errorWithMessage":"Virhe: {message}","codex.remoteConversation.loadingImage":"Ladataan kuvaa","codex.remoteConversation.openInWeb":"Avaa verkossa","codex.remoteConversation.streaming":"Aloittaminen","codex.remoteConversation.turnFailed":"Tämän tehtävän aikana tapahtui virhe","codex.remoteConversation.turnTab.loading":"{number}. yritys","codex.remoteConversation.turnTab.title":"{number}. yritys","codex.remoteConversation.userImageAttachment":"Käyttäjän liite","codex.remoteConversation.viewPreviousTurns":"Avaa verkossa","codex.remoteConversation.viewPreviousTurns.buttonText":"Avaa","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Avaa verkossa","codex.review.copyGitApplyCommand":"Kopioi git apply -komento","codex.review.copyGitApplyCommand.toast":"Git apply -komento kopioitiin leikepöydälle","codex.review.diffTooLarge.description":"Tämä ero on liian suuri näytettäväksi tarkastuksessa.","codex.review.diffTooLarge.title":"Ero on liian suuri näytettäväksi","codex.review.expandOrCollapseDiffButton.collapse":"Kutista kaikki muutosraportit","codex.review.expandOrCollapseDiffButton.expand":"Laajenna kaikki muutosraportit","codex.review.expandOrCollapseDiffMenu.collapse":"Kutista kaikki muutosraportit","codex.review.expandOrCollapseDiffMenu.expand":"Laajenna kaikki muutosraportit","codex.review.fileSearch.clear":"Tyhjennä tiedostosuodatin","codex.review.fileSearch.empty":"Mikään tiedosto ei vastaa nykyistä suodatinta.","codex.review.fileSearch.label":"Suodata tiedostot","codex.review.fileSearch.placeholder":"Suodata tiedostoja...","codex.review.filesChanged":"{num, plural, =0 {Tiedostoja ei muutettu} one {# tiedosto muutettu} other {# tiedostoa muutettu}}","codex.review.find.loadMore":"Lataa lisää osumia","codex.review.fullReview.hideFileTree":"Piilota tiedostopuu","codex.review.fullReview.showFileTree":"Näytä tiedostopuu","codex.review.header.moreOptions":"Tarkista vaihtoehdot","codex.review.largeDiff.banner":"Suuri ero havaittu – näytetään yksi tiedosto kerrallaan.","codex.review.loadFullFiles.disable":"Älä lataa täysiä tiedostoja","codex.review.loadFullFiles.enable":"Lataa täydet tiedostot","codex.review.noDiff":"Koodin muutokset näkyvät tässä","codex.review.noDiff.gitInit.createRepository":"Luo Git-varasto","codex.review.noDiff.gitInit.creating":"Luodaan...","codex.review.noDiff.gitInit.error":"Gitin alustus epäonnistui: {message}","codex.review.noDiff.gitInit.success":"Git-varasto luotu","codex.review.noDiff.gitRepoRequired.description":"Seuraa ja peru muutoksia tässä projektissa","codex.review.noDiff.gitRepoRequired.title":"Luo Git-varasto","codex.review.noDiff.orNoLongerAvailable":"tai viimeisimmät muutosraportit eivät ole enää käytettävissä","codex.review.noDiff.reverted":"Viimeinen vuoro on palautettu","codex.review.noDiff.revertedOrCommitted":"Viimeinen vuoro on joko peruutettu tai vahvistettu.","codex.review.refreshGitQueries":"Päivitä","codex.review.revert.file.error":"Kohteen {path} peruuttaminen epäonnistui","codex.review.revert.file.partialSuccess":"{path} osittain palautettu","codex.review.revert.file.success":"{path} palautettu","codex.review.revert.hunk.error":"Muutososion {hunkNumber} palauttaminen kohteeseen {path} epäonnistui","codex.review.revert.hunk.partialSuccess":"Muutososio {hunkNumber} palautettiin osittain kohteeseen {path}","codex.review.revert.hunk.success":"Muutososio {hunkNumber} palautettiin kohteeseen {path}","codex.review.revert.section.error":"Osion palauttaminen epäonnistui","codex.review.revert.section.partialSuccess":"Osio osittain palautettu","codex.review.revert.section.success":"Osio palautettu","codex.review.revertDialog.cancel":"Peruuta","codex.review.revertDialog.confirm":"Vahvista","codex.review.revertDialog.message":"Tämä toiminto poistaa kaikki nämä muutokset.","codex.review.revertDialog.skip":"Älä kysy uudelleen","codex.review.revertDialog.title":"Peruutetaanko muutokset?","codex.review.richPreview.disable":"Poista rikas esikatselu käytöstä","codex.review.richPreview.enable":"Ota rikas esikatselu käyttöön","codex.review.source.cloud":"Pilven muutokset","codex.review.source.local.all":"Kaikki haaran muutokset","codex.review.source.local.lastTurn":"Viimeisimmän vuoron muutokset","codex.review.source.local.uncommitted":"Vahvistamattomat muutokset","codex.review.source.worktree":"Vahvistamattomat työpuun muutokset","codex.review.stageFilter.empty.staged.description":"Hyväksy muokkaukset, jotta ne voidaan varmentaa","codex.review.stageFilter.empty.staged.title":"Ei varmennettuja muutoksia","codex.review.stageFilter.empty.unstaged.description":"Koodin muutokset näkyvät tässä","codex.review.stageFilter.empty.unstaged.title":"Ei varmentamattomia muutoksia","codex.review.stageFilter.staged":"Varmennetut","codex.review.stageFilter.staged.count":"Varmennetut · {count}","codex.review.stageFilter.unstaged":"Varmennus kumottu","codex.review.stageFilter.unstaged.count":"Varmennus kumottu · {count}","codex.review.switchToSplit":"Vaihda ositettuun muutosraporttiin","codex.review.switchToUnified":"Vaihda yhtenäiseen muutosraporttiin","codex.review.toggleDiffView":"Valitse muutosraportin näkymä","codex.review.wordDiffs.disable":"Poista sanatasoiset erot käytöstä","codex.review.wordDiffs.enable":"Ota sanatasoiset erot käyttöön","codex.review.wrap.disable":"Poista automaattinen rivinvaihto käytöstä","codex.review.wrap.enable":"Ota automaattinen rivinvaihto käyttöön","codex.section.patch.missing":"Tälle osiolle ei voitu luoda muutospäivitystä.","codex.shell.collapse":"Kutista komentotulkki","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Komentotulkin kopioitu sisältö","codex.shell.copy.copyTooltip":"Kopioi komentotulkin sisältö","codex.shell.copyCommand":"Kopioi komento","codex.shell.copyOutput":"Kopioi tuotos","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Laajenna komentotulkki","codex.shell.name":"Komentotulkki","codex.shell.noOutput":"Ei tuotosta","codex.signInFailed.message":"Sisäänkirjautuminen epäonnistui: {rawMessage}","codex.stories.toast.show":"Näytä toast","codex.stories.tooltip.basic":"Tämä on työkaluvinkki","codex.stories.tooltip.hoverMe":"Siirrä osoitin päälleni","codex.stories.tooltip.largerOffset":"Tämän työkaluvinkin siirtymä on suurempi","codex.stories.tooltip.offsetButton":"Suurempi siirtymä","codex.stories.tooltip.shortcutButton":"Sisältää pikanäppäimen","codex.stories.tooltip.withShortcut":"Vaihda terminaali","codex.taskRow.title":"Uusi ketju","codex.taskRowLayout.confirm":"Vahvista","codex.threadFindBar.chatFilter":"Hae keskustelusta","codex.threadFindBar.close":"Sulje etsi","codex.threadFindBar.diffFilter":"Etsi muutoksia","codex.threadFindBar.label":"Etsi ketjussa","codex.threadFindBar.nextResult":"Seuraava tulos","codex.threadFindBar.noResults":"0 tulosta","codex.threadFindBar.placeholder":"Etsi ketju…","codex.threadFindBar.placeholder.extension":"Etsi ketju…","codex.threadFindBar.placeholder.review":"Etsi muutoksia...","codex.threadFindBar.placeholder.review.extension":"Etsi muutoksia...","codex.threadFindBar.previousResult":"Edellinen tulos","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# tiedosto muutettu} other {# tiedostoa muutettu}}","codex.unifiedDiff.inlineLargeFile":"Liian suuri renderöitäväksi rivinsisäisessä muodossa","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Kumoa","codex.unifiedDiff.revertPatchError":"Muutosten peruuttaminen epäonnistui","codex.unifiedDiff.revertPatchSuccess":"Muutokset peruutettu","codex.unifiedDiff.reviewChangesSuffix":"muutokset","codex.unifiedDiff.reviewShort":"Tarkasta","codex.unifiedDiff.viewDiffTooltip":"Tarkasta","codex.upsellBanner.business.headline":"Jos haluat lisää käyttöoikeutta nyt, lähetä pyyntö ylläpitäjälle tai odota {resetDate} asti.","codex.upsellBanner.cbp.headline":"Jos haluat lisää käyttöoikeutta nyt, lähetä pyyntö ylläpitäjälle.","codex.upsellBanner.cta.addCredits":"Lisää krediittejä","codex.upsellBanner.cta.upgradeAccount":"Päivitä","codex.upsellBanner.cta.viewUsage":"Näytä käyttö","codex.upsellBanner.free.trialHeadline":"Käyttörajoituksesi nollautuu {resetDate}. Aloita Plus‑version ilmainen kokeilujakso jo tänään, niin voit jatkaa Codexin käyttöä ja saada GPT-5.3-Codexin käyttöösi.","codex.upsellBanner.freeOrGo.headline":"Hintarajasi nollautuu {resetDate}. Jatkaaksesi Codexin käyttöä, päivitä Plus-versioon jo tänään.","codex.upsellBanner.general.headline":"Hintarajasi nollautuu {resetDate}.","codex.upsellBanner.general.title":"Et voi lähettää Codex-viestejä","codex.upsellBanner.go.trialHeadline":"Käyttörajoituksesi nollautuu {resetDate}. Jatka Codexin käyttöä aloittamalla Plus‑palvelun ilmainen kokeilujakso tänään.","codex.upsellBanner.plus.headline":"Hintarajasi nollautuu {resetDate}. Jatkaaksesi Codexin käyttöä lisää krediittejä tai päivitä Pro-versioon jo tänään.","codex.upsellBanner.pro.headline":"Hintarajasi nollautuu {resetDate}. Lisää krediittejä jatkaaksesi Codexin käyttöä nyt.","codex.userMessage.autoResolveSync":"Ristiriitojen automaattinen ratkaiseminen","codex.userMessage.commentCount":"{count, plural, one {# kommentti} other {# kommenttia}}","codex.userMessage.copiedAriaLabel":"Kopioitu","codex.userMessage.copiedTooltip":"Kopioitu","codex.userMessage.copyAriaLabel":"Kopioi viesti","codex.userMessage.copyTooltip":"Kopioi","codex.userMessage.implementPlan":"Toteuta suunnitelma","codex.userMessage.noContent":"(Ei sisältöä)","codex.userMessage.priorConversation":"Viittaa aiempaan keskusteluun","codex.userMessage.reviewMode":"Tarkastustila","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"kohteelle {query}","codex.webSearch.summary.verb.completed":"Haettiin verkosta","codex.webSearch.summary.verb.inProgress":"Haetaan verkosta","codex.windowsInstallWslBanner.dismiss":"Hylkää","codex.windowsInstallWslBanner.installWslCta":"Ota käyttöön hiekkalaatikko","codex.windowsInstallWslBanner.learnMore":"Lue lisää","codex.windowsSandboxBanner.content":"Agenttitila käyttää Windowsissa kokeellista hiekkalaatikkoa rajoittamaan tiedostojärjestelmän ja verkon käyttöä. {sandboxLink}","codex.windowsSandboxBanner.title":"Ota käyttöön hiekkalaatikko agenttitilaa varten","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-asetukset","codexUpgradeModal.body":"Uusin etulinjan agenttipohjainen koodausmallimme – älykkäämpi, nopeampi ja osaavampi yleisessä teknisessä työssä. {link}","codexUpgradeModal.close":"Sulje","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Lue lisää","codexUpgradeModal.title":"Esittelyssä GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Kokeile nyt GPT-5.3-Codexia","codexUpgradeModal.useExistingModel":"Jatka nykyisellä mallilla","commentAttachments.numComments":"{count, plural, one {# kommentti} other {# kommenttia}}","commentAttachments.removeAriaLabel":"Poista kommenttien liitteet","common.close":"Sulje","composer.addContext.openFilePickerError":"Tiedostovalitsimen avaaminen ei onnistunut","composer.addContextDropdown.ariaLabel":"Lisää tiedostoja ynnä muuta","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Lisää tiedostoja ynnä muuta","composer.addPhotosAndFiles":"Lisää valokuvia & tiedostoja","composer.atMentionList.emptyQuery":"Kirjoita hakeaksesi tiedostoja","composer.atMentionList.loading":"Haetaan...","composer.atMentionList.noResults":"Ei tuloksia","composer.attemptsSelector.option":"{count, plural, one {# versio} other {# versiota}}","composer.attemptsSelector.tooltip":"Codexin rinnakkaisten yritysten määrä","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Lopeta","composer.cloudFollowUp.cloud":"Pilvi","composer.cloudFollowUp.local":"Paikallinen","composer.cloudFollowUp.whereRun":"Missä tämä jatko tulisi suorittaa?","composer.cloudTaskCreationError":"Virhe pilvi-tehtävän luomisessa","composer.cloudTaskError":"Virhe tehtävän luomisessa","composer.contextWindow.autoCompactionTooltipLine1":"Codex tiivistää automaattisesti kontekstinsa","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Konteksti-ikkuna:","composer.contextWindowUsageStatusFull":"{usage} % täynnä","composer.contextWindowUsageStatusLeft":"{usage} % käytetty ({remaining} % jäljellä)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokenia käytetty","composer.customCliTooltip":"Käytössä mukautettu CLI-ajotiedosto","composer.dictation.aria":"Sanele","composer.dictation.cancel.aria":"Lopeta sanelu","composer.dictation.cancel.tooltip":"Lopeta sanelu","composer.dictation.startError":"Sanelua ei voi aloittaa","composer.dictation.submit.aria":"Litteroi ja lähetä","composer.dictation.submit.tooltip":"Litteroi ja lähetä","composer.dictation.tooltip":"Pidä painettuna sanellaksesi","composer.dictation.transcribeError":"Äänen litterointi ei onnistu","composer.dictation.unsupported":"Sanelu ei ole käytettävissä tällä laitteella","composer.dropOverlay.holdShift":"Pudota pitämällä {key} painettuna","composer.dropOverlay.shiftKey":"Vaihtonäppäin","composer.environmentSelector.createNew":"Luo uusi","composer.environmentSelector.error":"Virhe ympäristöjen lataamisessa","composer.environmentSelector.goBack":"Takaisin muokkaimeen","composer.environmentSelector.title":"Valitse ympäristö","composer.environmentSelector.tooltip":"Valitse pilviympäristö","composer.feedbackSlashCommand.title":"Palaute","composer.filePicker.selectFile":"Valitse tiedosto","composer.filePicker.selectFiles":"Valitse tiedostot","composer.followerTooltip":"Jatka palaamalla keskustelun aloitusikkunaan.","composer.footer.branchSwitch.checkoutError":"Haaran vaihtaminen epäonnistui: {message}","composer.footer.branchSwitch.createAndCheckout":"Luo uusi haara ja ota muokattavaksi…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Vahvista muutokset ja luo ja ota muokattavaksi uusi haara","composer.footer.branchSwitch.createBranchError":"Haaran luominen epäonnistui: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Haaran nimi","composer.footer.branchSwitch.createDialog.branchExistsError":"Haara on jo olemassa.","composer.footer.branchSwitch.createDialog.close":"Sulje","composer.footer.branchSwitch.createDialog.createAndCheckout":"Luo ja ota muokattavaksi","composer.footer.branchSwitch.createDialog.placeholder":"uusi-haara","composer.footer.branchSwitch.createDialog.title":"Luo haara ja ota muokattavaksi","composer.footer.branchSwitch.createDialog.trailingSlashError":"Haaran nimi ei voi päättyä /.","composer.footer.branchSwitch.tooltip":"Vaihda haaraa","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Vahvista muutokset {fileCount, plural, one {# tiedosto} other {# tiedostoa}} tarkistaaksesi {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Kommitoi","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"muutokset kohdassa {fileCount, plural, one {# tiedosto} other {# tiedostoa}} tarkistaaksesi kohteen {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Peruuta","composer.footer.branchSwitch.uncommittedDialog.commit":"Vahvista ja vaihda haara…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Seuraaviin tiedostoihin tekemäsi muutokset korvataan tarkistuksen yhteydessä:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Vahvista muutokset jatkaaksesi","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"valittu haara","composer.footer.branchSwitch.uncommittedDialog.title":"Tallenna muutokset haaran vaihtamiseksi","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Vahvistamattomat: {fileCount, plural, one {# tiedosto} other {# tiedostoa}}","composer.forkSlashCommand.description":"Haaroita tämä ketju paikalliseen tai uuteen työpuuhun","composer.forkSlashCommand.option.local.description":"Jatka uudessa paikallisessa ketjussa","composer.forkSlashCommand.option.local.title":"Haaroita paikalliseen","composer.forkSlashCommand.option.worktree.description":"Jatka uudessa työpuussa","composer.forkSlashCommand.option.worktree.title":"Haaroita uuteen työpuuhun","composer.forkSlashCommand.title":"Haarauta","composer.ideContextIndicator":"IDE-konteksti","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Sisällytä IDE-konteksti","composer.ideContextIndicator.tooltipToggle":"vaihtaaksesi","composer.ideContextSlashCommand.disableDescription":"Poista IDE-konteksti käytöstä","composer.ideContextSlashCommand.enableDescription":"Sisällytä nykyinen valinta ja avaa tiedostot ja muu konteksti IDE:stä","composer.ideContextSlashCommand.title":"IDE-konteksti","composer.imageInputsUnsupported":"Tämä malli ei tue kuvasyötteitä. Kokeile toista mallia.","composer.imageUploadFailed":"Kuvan lähettäminen epäonnistui","composer.includeIdeContextDropdown":"Sisällytä IDE-konteksti","composer.includeIdeContextDropdown.ariaLabel":"Sisällytä IDE-konteksti","composer.localCwdDropdown.addWorkspaceRoot":"Lisää uusi projekti","composer.localCwdDropdown.noActiveRoot":"Valitse projektisi","composer.localCwdDropdown.noResults":"Kansioita ei löydetty","composer.localCwdDropdown.title":"Valitse projektisi","composer.localTaskError":"Virhe keskustelun aloittamisessa","composer.mcpSlashCommand.description":"Näytä MCP-palvelimen tila","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Ei todennettu","composer.mcpStatus.authOauth":"Todennettu (OAuth)","composer.mcpStatus.authToken":"Todennettu (API-avain)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Sulje","composer.mcpStatus.disabled":"Ei käytössä","composer.mcpStatus.emptyLabel":"Palvelimet:","composer.mcpStatus.emptyValue":"Ei määritettyjä MCP-palvelimia","composer.mcpStatus.enabled":"Käytössä","composer.mcpStatus.errorLabel":"Tila:","composer.mcpStatus.errorValue":"MCP-tilaa ei voitu ladata","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agentti","composer.mode.agentMode.auto.dropdownLabel":"Agentti","composer.mode.agentMode.auto.optionLabel":"Agentti","composer.mode.agentMode.changePermission":"Vaihda tilaa","composer.mode.agentMode.custom":"Mukautettu","composer.mode.agentMode.custom.dropdownLabel":"Mukautettu","composer.mode.agentMode.custom.option":"Mukautettu (config.toml)","composer.mode.agentMode.custom.optionLabel":"Mukautettu (config.toml)","composer.mode.agentMode.customInfo.cancel":"Peruuta","composer.mode.agentMode.customInfo.cli":"Voit säätää asetuksia komentoliittymän kautta tai muokkaamalla tiedostoa suoraan.","composer.mode.agentMode.customInfo.confirm":"Käytä mukautettua tilaa","composer.mode.agentMode.customInfo.description":"Mukautettu tila käyttää hyväksyntä- ja hiekkalaatikkokäytäntöjä, jotka on määritetty <link>config.toml</link>-tiedostossasi.","composer.mode.agentMode.customInfo.docs":"Voit lukea lisää hyväksyntä- ja hiekkalaatikkokäytäntöjen määrittämisestä <link>suoritusympäristöjen asiakirjoista</link>.","composer.mode.agentMode.customInfo.refresh":"Muutokset tulevat voimaan, kun agentti käynnistetään seuraavan kerran.","composer.mode.agentMode.customInfo.title":"Näin mukautettu tila toimii","composer.mode.agentMode.fullAccess":"Agentti (täysi käyttöoikeus)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agentti (täysi käyttöoikeus)","composer.mode.agentMode.fullAccess.optionLabel":"Agentti (täysi käyttöoikeus)","composer.mode.agentMode.fullAccessConfirm.caution":"Ole varovainen, kun annat täyden käyttöoikeuden. Se lisää merkittävästi tietojen menetyksen, vuotojen ja odottamattoman toiminnan riskiä.","composer.mode.agentMode.fullAccessConfirm.confirm":"Jatka siitä huolimatta","composer.mode.agentMode.fullAccessConfirm.description":"Kun Codexilla on täysi käyttöoikeus, se voi muokata mitä tahansa tietokoneellasi olevaa tiedostoa ja suorittaa komentoja verkon kautta ilman hyväksyntääsi.","composer.mode.agentMode.fullAccessConfirm.goBack":"Peruuta","composer.mode.agentMode.fullAccessConfirm.title":"Annetaanko täysi käyttöoikeus?","composer.mode.agentMode.readOnly":"Keskustelu","composer.mode.agentMode.readOnly.dropdownLabel":"Keskustelu","composer.mode.agentMode.readOnly.optionLabel":"Keskustelu","composer.mode.agentMode.tooltip":"Vaihda tilaa","composer.mode.agentMode.tooltip.auto":"Lue ja muokkaa tiedostoja, ja suorita komentoja.","composer.mode.agentMode.tooltip.custom":"Käytä uusimpia config.toml-tiedostossa määritettyjä hyväksyntä- ja hiekkalaatikkokäytäntöjä.","composer.mode.agentMode.tooltip.fullAccess":"Codex voi muokata tiedostoja tämän projektin ulkopuolella ja suorittaa komentoja verkkoyhteydellä. Ole varovainen käyttäessäsi sitä.","composer.mode.agentMode.tooltip.readOnly":"Vaatii hyväksynnän tiedostojen muokkaamiselle ja komentojen suorittamiselle.","composer.mode.cloud.tooltip":"Työskentele pilviympäristössä","composer.mode.contactAdmin":"Jos haluat lisää käyttöoikeutta, ota yhteyttä ylläpitäjääsi","composer.mode.local":"Paikallinen","composer.mode.local.learnMore":"Lue lisää","composer.mode.local.model.custom":"Mukautettu","composer.mode.local.model.loadingModel":"Latausmalli","composer.mode.local.model.selecrReasoningEffort":"Valitse päättely","composer.mode.local.model.selectModel":"Valitse malli","composer.mode.local.model.tooltip":"Valitse malli","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Korkea","composer.mode.local.reasoning.low.label":"Matala","composer.mode.local.reasoning.medium.label":"Keskitaso","composer.mode.local.reasoning.minimal.label":"Minimaalinen","composer.mode.local.reasoning.none.label":"Ei mitään","composer.mode.local.reasoning.xhigh.label":"Erittäin korkea","composer.mode.localRemoteWhereRun":"Valitse, missä tehtävä suoritetaan","composer.mode.newTask.header":"Jatka kohteessa","composer.mode.rateLimit.day":"{days} pv","composer.mode.rateLimit.heading":"Käyttörajoja jäljellä","composer.mode.rateLimit.hour":"{hours} t","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Mallin {modelName} raja:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {viikkoraja} other {{weeks} viikon raja}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Joka viikko} other {{weeks} viikon}}","composer.mode.remote.connectToCloud":"Yhdistä Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Määritä ympäristö Codex Webin kautta, jotta voit lähettää tehtäviä pilveen","composer.mode.remote.selectEnvironment":"Valitse ympäristö","composer.mode.remote.sendToCloud":"Lähetä pilveen","composer.mode.remote.setupViaWeb":"Määritä ympäristö Codex Webin kautta","composer.mode.runInCloud":"Pilvi","composer.mode.runInCloudWithEnvironment":"Pilvi · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Työskentele pilviympäristössä","composer.mode.segmentedToggle.local.tooltip":"Työskentele paikallisessa projektissa","composer.mode.segmentedToggle.worktree.tooltip":"Työskentele rinnakkaisessa työpuussa","composer.mode.upgradeToPlus":"Päivitä Plus-versioon","composer.mode.upgradeToPro":"Päivitä Pro-versioon","composer.mode.workLocally":"Paikallinen projekti","composer.mode.workLocally.currentBranchFallback":"oma haara","composer.mode.workLocally.tooltip":"Työskentele kohteen {branchName} parissa","composer.mode.worktree":"Uusi työpuu","composer.mode.worktree.submoduleWarning":"Tämä varasto sisältää git-alimoduuleja. Työpuun luominen saattaa epäonnistua","composer.mode.worktree.tooltip":"Luo kopio paikallisesta projektista rinnakkaistyöskentelyä varten","composer.mode.worktreeSegment":"Työpuu","composer.modelChangeDuringConversationWarning.toast":"Mallin vaihtaminen muuntamisen aikana heikentää suorituskykyä.","composer.newChat.heading.browser":"Mitä meidän pitäisi koodata seuraavaksi?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex käyttää config.tomlissa määriteltyjä oikeuksia.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codexilla on tietokoneesi täysi käyttöoikeus (kohonnut riski)","composer.permissionsDropdown.custom.label":"Mukautettu (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Mukautettu (config.toml)","composer.permissionsDropdown.default.label":"Oletusoikeudet","composer.permissionsDropdown.default.optionLabel":"Oletusoikeudet","composer.permissionsDropdown.default.tooltip":"Codex suorittaa automaattisesti komentoja hiekkalaatikossa","composer.permissionsDropdown.disabled.requirements":"requirements.toml on lukinnut oikeudet","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml on poistanut täyden käyttöoikeuden käytöstä","composer.permissionsDropdown.fullAccess.label":"Täysi käyttöoikeus","composer.permissionsDropdown.fullAccess.optionLabel":"Täysi käyttöoikeus","composer.permissionsDropdown.trigger.tooltip":"Muuta käyttöoikeuksia","composer.personalitySlashCommand.description.friendly":"Lämmin, yhteistyöhaluinen ja hyödyllinen","composer.personalitySlashCommand.description.pragmatic":"Tiivis, tehtäväkeskeinen ja suora","composer.personalitySlashCommand.label.friendly":"Ystävällinen","composer.personalitySlashCommand.label.pragmatic":"Käytännöllinen","composer.personalitySlashCommand.notApplicableSuffix":"(Ei koske nykyistä mallia)","composer.personalitySlashCommand.title":"Persoonallisuus","composer.placeholder.cloudFollowUp.directFollowUp":"Tämän pilvitehtävän seuranta","composer.placeholder.cloudFollowUp.local":"Luo uusi paikallinen tehtävä, joka viittaa tähän pilvi-tehtävään","composer.placeholder.cloudFollowUp.workingTree":"Luo uusi pilvitehtävä, joka sisältää nykyisen koodisi ja viittaa tähän tehtävään","composer.placeholder.localFollowUp.cloud":"Uuden pilvitehtävän seuranta","composer.placeholder.localFollowUp.locally":"Pyydä seurannan muutoksia","composer.placeholder.newTask.cloud":"Pyydä Codexia tekemään mitä vain pilvessä","composer.placeholder.newTask.doAnything":"Pyydä Codexia tekemään mitä vain","composer.placeholder.newTask.locally":"Kysy Codexilta mitä tahansa, @ lisätäksesi tiedostoja, / komentoja varten","composer.planModeDropdown":"Sopimustila","composer.planModeDropdown.ariaLabel":"Sopimustila","composer.planModeIndicator":"Suunnittele","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Luo suunnitelma Codexin avulla","composer.planModeIndicator.tooltipToggle":"vaihtaaksesi","composer.planSlashCommand.disableDescription":"Sammuta sopimustila","composer.planSlashCommand.enableDescription":"Kytke sopimustila päälle","composer.planSlashCommand.title":"Sopimustila","composer.priorContext.label":"Aiempi konteksti","composer.priorContext.removeAriaLabel":"Poista aiempi konteksti","composer.queuedMessage.delete":"Poista jonossa oleva viesti","composer.queuedMessage.edit":"Muokkaa viestiä","composer.queuedMessage.more":"Jonossa olevat viestin toiminnot","composer.queuedMessage.sendNow":"Ohjaa","composer.queuedMessage.sendNowTooltip":"Lähetä nyt keskeyttämättä työtä","composer.queuedMessage.turnOff":"Poista jonotus käytöstä","composer.reasoningEffort.local.reasoning.tooltip":"Valitse päättelyn määrä","composer.remote.branchStartingPoint":"Mistä haarasta tämän tehtävän pitäisi alkaa?","composer.remote.branchesSectionHeading":"Haarat","composer.remote.currentEditsSuffix.followUp":"Luo uusi tehtävä, joka viittaa tähän pilvi-tehtävään.","composer.remote.currentEditsSuffix.useLocal":"paikallisilla koodimuutoksilla","composer.remote.directFollowUp":"Älä käytä paikallisia muutoksia","composer.remote.errorLoadingBranches":"Virhe haarojen lataamisessa","composer.remote.fromBranch":"Haarasta {branch}","composer.remote.fromCurrentBranch":"Haarasta {branch} (nykyinen)","composer.remote.loadingMoreBranches":"Ladataan...","composer.remote.localFileStateHeading":"Paikallisen tiedoston tila","composer.remote.localWorkingTree":"Käytä paikallisia muutoksia","composer.remote.startingPoint":"Mistä koodista tämän tehtävän pitäisi alkaa?","composer.reviewMode.branches.error":"Haaroja ei voitu ladata","composer.reviewMode.branches.retry":"Yritä uudelleen","composer.reviewMode.gitRoot.error":"Git-juurta ei löydetty","composer.reviewMode.option.baseBranch.simple":"Tarkasta perushaaraan verraten","composer.reviewMode.option.unstaged.simple":"Tarkasta tekemättömät muutokset","composer.reviewMode.quickReviewError":"Koodin tarkastuksen aloittaminen epäonnistui.","composer.reviewMode.title":"Koodin tarkastus","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml on poistanut täyden käyttöoikeuden käytöstä","composer.sandboxButton.windowsSandboxDialog.content":"Codex voi käyttää Windowsissa kokeellista hiekkalaatikkoa rajoittaakseen tiedostojärjestelmän ja verkon käyttöä. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Otatko Windowsin hiekkalaatikon käyttöön?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Käytä vain lukutilaa","composer.searchEnvironments":"Hae ympäristöistä","composer.skillMentionList.app":"Sovellus","composer.skillMentionList.loading":"Ladataan taitoja...","composer.skillMentionList.noResults":"Taitoja ei löydetty","composer.slashCommands.cloudEnvironment.title":"Pilvi-ympäristö","composer.slashCommands.dialogLabel":"Slash-komentovalikko","composer.slashCommands.dialogTitle":"Slash-komennot","composer.slashCommands.disabledTooltip":"Aloita uusi keskustelu käyttääksesi Slash-komentoja","composer.slashCommands.inputPlaceholder":"Hae","composer.slashCommands.noResults":"Ei komentoja","composer.slashCommands.skillsGroup":"Taidot","composer.slashCommands.tooltip":"Selaa Slash-komentoja","composer.status.close":"Sulje","composer.statusPlain.alertLabel":"Ilmoitus:","composer.statusPlain.alertValue":"{remaining} % jäljellä kohteessa {window}","composer.statusPlain.contextLabel":"Konteksti:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used}/{total} käytössä)","composer.statusPlain.contextValueRemaining":"{remaining} % jäljellä","composer.statusPlain.heading":"Tila","composer.statusPlain.modelRateLimitSectionLabel":"Mallin {modelName} raja:","composer.statusPlain.rateLimitDays":"{count} päivän raja","composer.statusPlain.rateLimitFallbackLabel":"Käyttöraja:","composer.statusPlain.rateLimitHours":"{count} tunnin raja","composer.statusPlain.rateLimitLabelBase":"Käyttöraja","composer.statusPlain.rateLimitMinutes":"{count} minuutin raja","composer.statusPlain.rateLimitPercent":"{remaining} % jäljellä","composer.statusPlain.rateLimitReset":"nollautuu {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"nollausaika ei ole saatavilla","composer.statusPlain.rateLimitUnavailable":"Ei saatavilla","composer.statusPlain.sessionCopiedAriaLabel":"Istunnon tunnus kopioitu","composer.statusPlain.sessionCopiedTooltip":"Tunnus kopioitu","composer.statusPlain.sessionCopyAriaLabel":"Kopioi istunnon tunnus","composer.statusPlain.sessionCopyTooltip":"Kopioi tunnus","composer.statusPlain.sessionLabel":"Istunto:","composer.statusSlashCommand.description":"Näytä ketjun tunnus, kontekstin käyttö ja käyttörajat","composer.statusSlashCommand.title":"Tila","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Viestin lähettäminen ei onnistunut","composer.submit.emptyMessage":"Aloita kirjoittamalla viesti","composer.submit.imageInputsUnsupported":"Poista kuvat tai vaihda mallia, jotta voit lähettää tämän viestin.","composer.submit.loadingLocalConfig":"Ladataan...","composer.submit.missingCloudConfig":"Sinun on valittava pilvi-ympäristö","composer.submit.missingCloudTurn":"Tästä tehtävästä ei voi jatkaa","composer.submit.noWorkspace":"Lisää projekti Codexin käyttöön","composer.submit.waitForImageUploads":"Kuvia lähetetään...","composer.submitButtonTooltip.send":"Lähetä","composer.submitButtonTooltip.stop":"Lopeta","composer.worktreeEnvironment.create":"Luo paikallinen ympäristö","composer.worktreeEnvironment.default":"Oletusympäristö","composer.worktreeEnvironment.error":"Virhe ympäristöjen lataamisessa","composer.worktreeEnvironment.loading":"Ladataan ympäristöjä...","composer.worktreeEnvironment.title":"Paikallinen ympäristö","composer.worktreeEnvironment.tooltip":"Valitse paikallinen ympäristö","composer.worktreeSetupFailed":"Työpuun määritys epäonnistui. Tarkista .codex/environmentsin määrityskomentosarja.","compoundButton.secondaryAction":"Toissijainen toiminto","copyButton.copied":"Kopioitu","copyButton.copiedAriaLabel":"Kopioitu","copyButton.copy":"Kopioi","copyButton.copyAriaLabel":"Kopioi","copyButton.copyCode":"Kopioi koodi","diff.actionButton.revertFile":"Palauta tiedosto","diff.actionButton.revertHunk":"Peruuta","diff.actionButton.revertSection":"Palauta kaikki","diff.actionButton.revertSectionLabel":"Palauta kaikki","diff.actionButton.stageFile":"Varmenna tiedosto","diff.actionButton.stageHunk":"Varmenna","diff.actionButton.stageSection":"Varmenna kaikki","diff.actionButton.stageSectionLabel":"Varmenna kaikki","diff.actionButton.unstageFile":"Kumoa tiedoston varmennus","diff.actionButton.unstageHunk":"Kumoa varmennus","diff.actionButton.unstageSection":"Kumoa kaikkien varmennus","diff.actionButton.unstageSectionLabel":"Kumoa kaikkien varmennus","diff.fileHeader.toggle":"Valitse tiedoston ero","electron.onboarding.login.apikey.cancel":"Peruuta","electron.onboarding.login.apikey.continue":"Jatka","electron.onboarding.login.apikey.label":"OpenAI:n API-avain","electron.onboarding.login.apikey.open":"Syötä API-avain","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Peruuta sisäänkirjautuminen","electron.onboarding.login.chatgpt.continue":"Jatka ChatGPT:llä","electron.onboarding.login.devbox":"Yhdistä etäpalvelimeen SSH:lla","electron.onboarding.login.error":"Sisäänkirjautuminen epäonnistui: {rawMessage}","electron.onboarding.login.snake.start":"Pelaa Snake-peliä","electron.onboarding.login.sshConfig.cancel":"Peruuta","electron.onboarding.login.sshConfig.continue":"Jatka","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-isäntänimi","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Paras tapa rakentaa agenttien avulla","electron.onboarding.login.title":"Tervetuloa Codexiin","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Jatka","electron.onboarding.welcome.doubleLimits.description":"Codex-sovelluksen julkaisun kunniaksi sinulla on käytössä kaksinkertainen käyttöraja 2.4. asti.","electron.onboarding.welcome.freego.description":"Codex sisältyy sopimukseesi ilmaiseksi  2.3. asti – aloitetaan rakentaminen yhdessä.","electron.onboarding.welcome.new.title.anon":"Tervetuloa!","electron.onboarding.workspace.continue":"Jatka","electron.onboarding.workspace.empty":"Lisää projekti jatkaaksesi.","electron.onboarding.workspace.listLabel":"Käytettävissä olevat projektit","electron.onboarding.workspace.loading":"Ladataan projekteja...","electron.onboarding.workspace.openFolder":"Lisää projekti","electron.onboarding.workspace.selectAll":"Valitse kaikki","electron.onboarding.workspace.skip":"Ohita","electron.onboarding.workspace.skip.error":"Uutta projektia ei voitu luoda: {message}","electron.onboarding.workspace.skip.error.unknown":"Tuntematon virhe","electron.onboarding.workspace.skipping":"Luodaan uutta projektia…","electron.onboarding.workspace.subtitle":"Codex voi muokata tiedostoja ja suorittaa komentoja valituissa kansioissa.","electron.onboarding.workspace.title":"Valitse projekti","errorPage.list.checkSettings":"Yritä päivittää IDE-asetuksesi","errorPage.list.configToml":"Tarkista, sisältääkö config.toml virheellisiä asetuksia","errorPage.list.downloadExtension":"Yritä ladata eri versio laajennuksesta","errorPage.list.runInWsl":"Tarkista asetuksesi estääksesi suorittamisen WSL:ssä, jos yhteensopivuudessa on ongelmia","execApprovalRequest.menu.runAlways":"Kyllä, äläkä kysy uudelleen tässä istunnossa","execApprovalRequest.menu.runAlwaysWithAmendment":"Kyllä, äläkä pyydä uudelleen komentoja, jotka alkavat {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Kyllä, äläkä pyydä uudelleen komentoja, jotka alkavat","execApprovalRequest.menu.runOnce":"Kyllä","execApprovalRequest.prompt":"Haluatko suorittaa tämän komennon?","execApprovalRequest.reject":"Ei","execFooter.exitCode":"Poistumiskoodi {code}","execFooter.exitCode.unknown":"tuntematon","execFooter.success":"Onnistui","feedback.dialog.category.badResult":"Huono tulos","feedback.dialog.category.bug":"Virhe","feedback.dialog.category.goodResult":"Hyvä tulos","feedback.dialog.category.other":"Muu","feedback.dialog.descriptionPlaceholder":"Kuvaile ongelmaa tässä","feedback.dialog.dismiss":"Hylkää","feedback.dialog.includeLogsLabel":"Sisällytä nykyisen Codex-istunnon lokit","feedback.dialog.submit":"Lähetä","feedback.dialog.submitError":"Palautteesi lähettäminen ei onnistunut. Yritä hetken kuluttua uudelleen.","feedback.dialog.title":"Palaute","feedback.dialog.uploadedMessage.existingIssue":"olemassa olevassa avoimessa ongelmassa","feedback.dialog.uploadedMessage.openIssue":"avaa GitHub-ongelma","feedback.dialog.uploadedMessage.withThread":"Palaute lähetetty. Jos ongelma jatkuu, {openIssueLink} tai mainitse ketjun tunniste {existingIssueLink}:","feedback.dialog.uploadedTitle":"Palaute lähetetty","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Poista {filename}","header.back":"Takaisin","header.recentChats":"Tehtävät","header.recentTasks.seeAll":"Näytä kaikki ({total})","home.header.getPlus":"Hanki Plus","home.hero.letsBuild":"Aloitetaan kehittäminen","homePage.mainContent":"Pääsisältö","imageAttachment.defaultName":"kuva","imageAttachment.preview.close":"Sulje kuvan esikatselu","imageAttachment.removeAriaLabel":"Poista {filename}","implementPlanRequest.option.implement":"Kyllä, toteuta tämä suunnitelma","implementPlanRequest.prompt":"Toteutetaanko tämä suunnitelma?","inbox.archived.deleteError":"Arkistoitua suoritusta ei voitu poistaa","inbox.archived.deleteRun":"Poista arkistoitu suoritus","inbox.archived.deleteSuccess":"Arkistoitu ketju poistettiin. Näytä kohdassa <settingsLink>Arkistoidut ketjut</settingsLink>.","inbox.archived.inlineLabel.auto":"Tämä ketju arkistoitiin automaattisesti. <learnMoreLink>Lisätietoja</learnMoreLink>","inbox.archived.inlineLabel.manual":"Tämä ketju on arkistoitu.","inbox.archived.noMessageFound":"Viestiä ei löytynyt","inbox.automations.createError":"Automaation luominen ei onnistunut","inbox.automations.deleteConfirm.cancel":"Peruuta","inbox.automations.deleteConfirm.confirm":"Poista automaatio","inbox.automations.deleteConfirm.description":"Tämä poistaa pysyvästi automaation ja keskeyttää tulevat suoritukset.","inbox.automations.deleteConfirm.title":"Poistetaanko {name}?","inbox.automations.deleteError":"Automaation poistaminen ei onnistunut","inbox.automations.editTooltip":"Muokkaa automaatiota","inbox.automations.inProgress":"Käynnissä","inbox.automations.new":"Uusi","inbox.automations.newToolbar":"Uusi automaatio","inbox.automations.pauseTooltip":"Pysäytä automaatio","inbox.automations.resumeTooltip":"Jatka automaatiota","inbox.automations.startingNow":"Käynnistetään nyt","inbox.automations.startsIn":"Alkuun {startTime}","inbox.automations.status.active":"Käytössä","inbox.automations.status.paused":"Pysäytetty","inbox.automations.status.runs":"{count} käynnissä","inbox.automations.status.started":"Aloitettu {date}","inbox.automations.updateError":"Automaation luominen ei onnistunut","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Kaikki","inbox.filter.ariaLabel":"Suodata postilaatikkokohteita","inbox.filter.unread":"Lukemattomat","inbox.list.archived":"Arkistoitu","inbox.list.inProgress":"Käynnissä","inbox.list.recent":"Valmis","inbox.list.upNext":"Aikataulutettu","inbox.mode.automations":"Automaatiot","inbox.mode.automations.beta":"Beeta","inbox.noDescription":"Kuvausta ei ole annettu","inbox.openThread":"Avaa ketju","inbox.rightPanel.emptySubtitle":"Automatisoi työ asettamalla ajoitetut tehtävät","inbox.rightPanel.emptySubtitle.learnMore":"Automatisoi työ määrittämällä ajoitettuja ketjuja.<link>Lue lisää</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktiivinen automaatio} other {# aktiivista automaatiota}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Ei lukemattomia automaatioita","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# lukematon automaatio} other {# lukemattomat automaatiot}}","inbox.rightPanel.emptyTitle":"Ei valittuja kohteita","inbox.rightPanel.noThread":"Tässä kohteessa ei ole ketjuja","inbox.rightPanel.quickStart.header":"Aloita mallipohjalla","inbox.untitled":"Nimetön postilaatikkokohde","loadingPage.documentationLink":"dokumentaatio","loadingPage.errorDescription":"Codex kaatui seuraavan virheen takia:","loadingPage.errorDescription.documentation":"Käynnistä Codex-laajennus uudelleen napsauttamalla Lataa uudelleen, tai pyydä lisäapua täältä: {documentationLink}.","loadingPage.errorSignal":"Voit kokeilla näitä:","loadingPage.errorTitle":"Tapahtui jokin virhe","loadingPage.openConfigToml":"Avaa Config.toml","loadingPage.reload":"Lataa uudelleen","localConversation.contextCompacted":"Konteksti tiivistetty automaattisesti","localConversation.contextCompacting":"Kontekstin automaattinen tiivistäminen","localConversation.forkedFromConversation":"Haaroitettu ketjusta {threadTitle}","localConversation.merge.autoResolve.failed":"Automaattisen ratkaisemisen pyytäminen epäonnistui: {error}","localConversation.merge.autoResolve.sent":"Automaattisen ratkaisemisen pyyntö lähetetty","localConversation.merge.autoResolveMerge.missingConversation":"Automaattinen ratkaiseminen ei onnistu ilman aktiivista keskustelua.","localConversation.merge.autoResolveMerge.request":"Ratkaise yhdistelykonfliktit automaattisesti","localConversation.modelChanged":"Malli vaihdettu mallista {fromModel} malliin {toModel}","localConversation.modelChanged.warning.line1":"Mallin vaihtaminen muuntamisen aikana heikentää suorituskykyä.","localConversation.modelChanged.warning.line2":"Konteksti saatetaan tiivistää automaattisesti","localConversation.moveThread.createBranch.label":"Luo haara","localConversation.moveToLocal.disabled.loading":"Ladataan...","localConversation.moveToLocal.modal.continue":"Jatka","localConversation.moveToLocal.modal.destinationLabel":"Siirrä kohteeseen","localConversation.moveToLocal.modal.retry":"Yritä uudelleen","localConversation.moveToWorktree.modal.back":"Takaisin","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Haara on jo olemassa.","localConversation.moveToWorktree.modal.branchesError":"Haaroja ei voitu ladata","localConversation.moveToWorktree.modal.branchesLoading":"Ladataan haaroja...","localConversation.moveToWorktree.modal.branchesRetry":"Yritä uudelleen","localConversation.moveToWorktree.modal.continue":"Jatka","localConversation.moveToWorktree.modal.retry":"Yritä uudelleen","localConversation.moveToWorktree.modal.trailingSlashError":"Haaran nimi ei voi päättyä /.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"uusi-haara","localConversation.personalityChanged":"Vaihdettiin personallisuuteen {personality}","localConversation.planSummary.collapse":"Kutista sopimuksen yhteenveto","localConversation.planSummary.collapseTooltip":"Kutista","localConversation.planSummary.download":"Lataa sopimus","localConversation.planSummary.expand":"Laajenna sopimuksen yhteenveto","localConversation.planSummary.expandTooltip":"Laajenna","localConversation.planSummary.openInNewWindow":"Avaa","localConversation.planSummary.openInNewWindow.tooltip":"Avaa uuteen ikkunaan","localConversation.planSummary.title":"Suunnittele","localConversation.planSummary.titleWriting":"Kirjoitetaan suunnitelmaa","localConversation.planSummary.viewPlan":"Laajenna sopimusta","localConversation.remoteTaskCreated":"Luotiin {taskLink} Codex Cloudissa","localConversation.remoteTaskCreated.task":"tehtävä","localConversation.scrollToBottomButton":"Vieritä alas","localConversation.sync.buttonLabel":"Siirrä paikallisille","localConversation.sync.buttonLabel.tooltip":"Siirrä muutokset tämän työpuun ja paikallisen tarkistuksen välillä.","localConversation.sync.modal.loading.title":"Muutosten luovuttaminen…","localConversation.sync.modal.noChanges":"Ei muutoksia","localConversation.syncSetup.branchAriaLabel":"Haaran nimi","localConversation.syncSetup.branchName":"Haaran nimi","localConversation.syncSetup.branchPlaceholder.existing":"Valitse olemassa oleva haara","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Ladataan haaroja...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Jo tarkastettu","localConversation.syncSetup.checkoutClean":"Tällä hetkellä haarassa {branchName}","localConversation.syncSetup.checkoutDirty":"Tällä hetkellä {branchName} vahvistamattomilla muutoksilla","localConversation.syncSetup.checkoutError":"Haaran tarkastaminen epäonnistui: {message}","localConversation.syncSetup.checkoutLabel":"Tarkasta paikallisesti nyt","localConversation.syncSetup.checkoutOnLocal":"Siirrä paikalliseen","localConversation.syncSetup.checkoutPending":"Paikallisen tilan tarkastaminen…","localConversation.syncSetup.checkoutUnavailable":"Paikallinen työtila ei ole käytettävissä","localConversation.syncSetup.checkoutUnknown":"Paikallinen haara ei ole käytettävissä","localConversation.syncSetup.continue":"Jatka","localConversation.syncSetup.createBranchError":"Siirtohaaran asettaminen epäonnistui: {message}","localConversation.syncSetup.error":"Jokin meni pieleen: {message}","localConversation.syncSetup.error.workingTreeMissing":"Työpuusta ei voi ottaa tilannevedosta. Yritä luovuttaa uudelleen.","localConversation.syncSetup.mode.ariaLabel":"Valitse haaran tila","localConversation.syncSetup.mode.existing":"Olemassa oleva haara","localConversation.syncSetup.mode.new":"Uusi haara","localConversation.syncSetup.noBranches":"Haaroja ei löytynyt","localConversation.syncSetup.overwriteError":"Haara on luotu, mutta sitä ei ole vielä siirretty kokonaan. Siirrä se manuaalisesti ennen paikallista tarkastusta.","localConversation.syncSetup.setPrefix":"Määritä etuliite","localConversation.syncSetup.subtitle":"Testaa ja muokkaa työpuun muutoksia paikallisesti. <a>Lue lisää</a>","localConversation.syncSetup.success.checkedOut":"Haara on luotu ja tarkastettu paikallisesti","localConversation.syncSetup.success.notCheckedOut":"Haara luotu","localConversation.syncSetup.title":"Siirrä paikalliselle haaralle","localConversation.syncWorktreeError.branchAriaLabel":"Haaran nimi","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Valitse haara, johon haluat siirtää muutokset, ja yritä ladata ne uudelleen.","localConversation.syncWorktreeError.branchSetup.title":"Päivitä haara","localConversation.syncWorktreeError.branchUpdate.cta":"Päivitä ja yritä uudelleen","localConversation.syncWorktreeError.branchUpdate.error":"Haaran päivittäminen epäonnistui: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Jokin meni pieleen: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Haaraa ei ole otettu käyttöön missään työpuussa.","localConversation.syncWorktreeV2.applyUncommitted":"Ota käyttöön","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Sinun on tarkastettava haara paikallisesti, jotta voit soveltaa vahvistamattomia muutoksia","localConversation.syncWorktreeV2.branches.empty":"Haaroja ei löytynyt","localConversation.syncWorktreeV2.branches.loading":"Ladataan haaroja...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Vaihda siirtohaara","localConversation.syncWorktreeV2.changeBranch.error":"Siirtohaaran muuttaminen epäonnistui: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Sovellus epäonnistui","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Työpuun korvaaminen epäonnistui","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Paikallisen korvaaminen epäonnistui","localConversation.syncWorktreeV2.commandError.back":"Takaisin","localConversation.syncWorktreeV2.commandError.body":"Git-komento epäonnistui siirron aikana. Tarkasta tuotos ja yritä uudelleen.","localConversation.syncWorktreeV2.commandError.retry":"Yritä uudelleen","localConversation.syncWorktreeV2.description":"Siirrä muutokset paikallisen ja tämän työkansion välillä <a>Lisätietoja</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Valitse siirron suunta","localConversation.syncWorktreeV2.error.generic":"Jotain meni vikaan siirron aikana. Yritä uudelleen.","localConversation.syncWorktreeV2.localBranchLabel":"Paikallinen","localConversation.syncWorktreeV2.noChanges":"Muutosten laskeminen","localConversation.syncWorktreeV2.noChanges.summary":"Ei muutoksia","localConversation.syncWorktreeV2.overwrite.local":"Korvaa paikallinen","localConversation.syncWorktreeV2.overwrite.worktree":"Korvaa työpuu","localConversation.syncWorktreeV2.partial.action.applyFailed":"Muutoksia ei voitu ottaa käyttöön","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Paikallisia muutoksia ei voitu korvata","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Työpuun muutoksia ei voitu korvata","localConversation.syncWorktreeV2.partial.appliedLabel":"Käytössä","localConversation.syncWorktreeV2.partial.back":"Takaisin","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Ratkaise konfliktit ja yritä uudelleen.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konfliktit","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# tiedosto} other {# tiedostoa}}","localConversation.syncWorktreeV2.partial.retry":"Yritä uudelleen","localConversation.syncWorktreeV2.partial.skippedLabel":"Ohitettiin","localConversation.syncWorktreeV2.stateFailed.generic":"Jotain meni vikaan, kun haettiin työpuun muutoksia siirrettäväksi. Yritä uudelleen.","localConversation.syncWorktreeV2.stateFailed.title":"Työpuun muutosten lataaminen epäonnistui","localConversation.syncWorktreeV2.statusError.diffUnknown":"Työpuun muutosten käyttöön ottaminen epäonnistui.","localConversation.syncWorktreeV2.statusError.retry":"Yritä uudelleen","localConversation.syncWorktreeV2.statusError.title":"Paikallisten haaran muutoksia ei voi ladata","localConversation.syncWorktreeV2.statusError.unknown":"Haaran tila ei ole tällä hetkellä käytettävissä. Yritä uudelleen.","localConversation.syncWorktreeV2.success.apply":"Onnistuneesti sovelletut muutokset","localConversation.syncWorktreeV2.success.overwrite":"Siirto onnistui","localConversation.syncWorktreeV2.title":"Muutosten siirto","localConversation.syncWorktreeV2.worktreeLabel":"Työpuu","localConversation.userInputRequest.inProgress":"Kysytään {count, plural, one {kysymys} other {kysymystä}}","localConversation.userInputRequest.noAnswer":"Ei vastauksia","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Kysytty","localConversation.userInputRequest.summary.count":"{count, plural, one {# kysymys} other {# kysymystä}}","localConversation.workedFor":"Työskenteli {time}","localConversation.worktreeBranchSetup.action.create":"Luo","localConversation.worktreeBranchSetup.branchAriaLabel":"Haaran nimi","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Luo uusi haara","localConversation.worktreeBranchSetup.checkoutDisabled":"Tämä haara on jo tarkastettu klo {location}","localConversation.worktreeBranchSetup.checkoutError":"Haaran tarkastaminen epäonnistui: {message}","localConversation.worktreeBranchSetup.createBranchError":"Haaran asettaminen epäonnistui: {message}","localConversation.worktreeBranchSetup.error":"Jokin meni pieleen: {message}","localConversation.worktreeBranchSetup.subtitle":"Luo haara ja vahvista muutokset, lähetä ne ja luo pull-pyyntö tästä työpuusta. <a>Lue lisää</a>","localConversation.worktreeBranchSetup.title":"Työskentele täällä","localConversationPage.addWorktreeToSidebar.tooltip":"Tallenna projektina, jotta voit aloittaa uusia ketjuja tästä työpuusta","localConversationPage.addWorktreeToSidebarError":"Projektin lisääminen epäonnistui","localConversationPage.commitAndCreatePrModal.errorTitle":"Kommitointi ja pull-pyynnön luominen epäonnistui","localConversationPage.commitAndCreatePrModal.successTitle":"Kommitoitu ja pull-pyyntö luotu","localConversationPage.commitAndPushModal.errorTitle":"Kommitointi ja lähettäminen epäonnistui","localConversationPage.commitAndPushModal.successTitle":"Muutokset kommitoitiin ja lähetettiin","localConversationPage.commitCreatePr.open":"Avaa pull-pyyntö","localConversationPage.commitCreatePr.successTitle":"Luotiin pull-pyyntö viimeisimmillä muutoksilla","localConversationPage.createBranchButtonLabel":"Luo haara tähän","localConversationPage.createPrModal.baseBranch":"Perushaara","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Luo pull-pyyntö","localConversationPage.createPrModal.createDescription":"Avaa pull-pyyntö uusimmille muutoksille.","localConversationPage.createPrModal.errorTitle":"Pull-pyyntö epäonnistui","localConversationPage.createPrModal.headBranch":"Päähaara","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Avaa pull-pyyntö","localConversationPage.createPrModal.successTitle":"Pull-pyyntö luotu","localConversationPage.createPrModal.title":"Luo pull-pyyntö","localConversationPage.createPrModal.viewDescription":"Tällä haaralla on jo pull-pyyntö.","localConversationPage.createPrModal.viewTitle":"Pull-pyyntö valmis","localConversationPage.createPullRequestAuthGh":"GitHub CLI:n todennus: suorita `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Haaraa koskevia tietoja ei käytettävissä","localConversationPage.createPullRequestButtonLabel":"Luo pull-pyyntö","localConversationPage.createPullRequestButtonLabel.loading":"Luodaan pull-pyyntö…","localConversationPage.createPullRequestDefaultBranchMissing":"Oletushaaran tiedot eivät ole käytettävissä","localConversationPage.createPullRequestError":"Pull-pyynnön luominen epäonnistui","localConversationPage.createPullRequestExistingPullRequest":"Tällä haaralla on jo pull-pyyntö","localConversationPage.createPullRequestGhStatusMissing":"Ladataan GitHub CLI -tilaa...","localConversationPage.createPullRequestInstallGh":"Asenna GitHub CLI (gh) pull-pyyntöjen luomiseen","localConversationPage.createPullRequestNoRepo":"Git-varastoa ei löytynyt","localConversationPage.createPullRequestPushStatusMissing":"Ladataan push-tilaa...","localConversationPage.createPullRequestSetUpstream":"Työnnä tämä haara ennen kuin luot push-ilmoituksen","localConversationPage.createPullRequestSuccessToast":"Pull-pyyntö luotu","localConversationPage.createPullRequestSwitchBranch":"Tarkista ominaisuushaara ennen pull-pyynnön luomista","localConversationPage.error.render":"Virhe paikallisen keskustelun hahmontamisessa","localConversationPage.error.toast":"Keskustelua ei löytynyt","localConversationPage.forcePushError":"Push-lähetyksen pakottaminen epäonnistui","localConversationPage.generatePullRequestMessageError":"Pull-pyynnön otsikon ja tekstin luominen epäonnistui","localConversationPage.generatePullRequestMessageFailed":"Pull-pyynnön otsikon ja tekstin luominen epäonnistui.","localConversationPage.gitActionResult.branch":"Haara","localConversationPage.gitActionResult.cancel":"Peruuta","localConversationPage.gitActionResult.close":"Sulje","localConversationPage.gitActionResult.tryAgain":"Yritä uudelleen","localConversationPage.gitActions":"Git-toiminnot","localConversationPage.newChat":"Uusi keskustelu","localConversationPage.openInTarget":"Avaa kohteessa","localConversationPage.openPrimaryTarget":"Avaa","localConversationPage.planItemsCompleted":"{completedItems}/{totalItems, plural, one {#-tehtävä valmis} other {#-tehtävät valmiit}}","localConversationPage.pushAuthError":"Push-lähetys epäonnistui: todennus vaaditaan","localConversationPage.pushBranchMissing":"Haaraa koskevia tietoja ei käytettävissä","localConversationPage.pushButtonLabel":"Push-pyyntö","localConversationPage.pushButtonLabel.loading":"Lähetetään...","localConversationPage.pushError":"Muutosten lähettäminen epäonnistui","localConversationPage.pushModal.branchLabel":"Haara","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Peruuta","localConversationPage.pushModal.confirm":"Push-pyyntö","localConversationPage.pushModal.description":"Lähetä uusimmat kommitoinnit etävarastoon.","localConversationPage.pushModal.errorTitle":"Push-lähetys epäonnistui","localConversationPage.pushModal.forcePush":"Pakota push-lähetys","localConversationPage.pushModal.successTitle":"Push-lähetys valmis","localConversationPage.pushModal.title":"Lähetä muutokset","localConversationPage.pushModal.tryAgain":"Yritä uudelleen","localConversationPage.pushNoUpstream":"Aseta päähaara ennen tämän haaran lähettämistä","localConversationPage.pushNoUpstreamError":"Push-lähetys epäonnistui: päähaaraa ei ole määritetty","localConversationPage.pushNothingToPush":"Ei uusia commiteja lähetettäväksi","localConversationPage.pushRemoteChangedError":"Push-lähetys epäonnistui: etähaarassa on uusia commiteja","localConversationPage.pushRemoteRejectedError":"Etähaara hylkäsi push-lähetyksen","localConversationPage.pushStatusMissing":"Ladataan push-tilaa...","localConversationPage.pushSuccessToast":"Lähetetyt muutokset","localConversationPage.viewPullRequestButtonLabel":"Näytä pull-pyyntö","localConversationPage.viewPullRequestButtonLabel.loading":"Ladataan pull-pyyntöä...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# tiedosto} other {# tiedostoa}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# luettelo} other {# luetteloa}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# haku} other {# hakua}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Tutkitaan","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Tutkittu","localConversationTurn.exploration.accordion.header.complete.withCounts":"Tutkittu {counts}","localConversationTurnStory.showContent":"Näytä sisältö","localConversationTurnStory.streamContent":"Suoratoista sisältöä","localConversationTurnStory.toggleReasoning":"Näytä päättely","localTaskRow.archiveError":"Keskustelun arkistoiminen epäonnistui","localTaskRow.resumeError":"Tehtävän jatkaminen epäonnistui","mermaidDiagram.ariaLabel":"Mermaid-kaavio","mermaidDiagram.copySource":"Kopioi merenneito","mermaidDiagram.originalCode":"Mermaid-lähdekoodi","notifications.permissions.description":"Näytä ilmoitukset, kun ilmoitusluvat vaaditaan","notifications.permissions.label":"Ota lupailmoitukset käyttöön","notifications.turnMode.always":"Aina","notifications.turnMode.description":"Aseta, kun Codex ilmoittaa, että se on valmis","notifications.turnMode.label":"Vuoron päättymisen ilmoitukset","notifications.turnMode.off":"Ei koskaan","notifications.turnMode.unfocused":"Vain ei-aktiivisena","patchApprovalRequest.approve":"Hyväksy","patchApprovalRequest.menu.allowAlways":"Kyllä, äläkä kysy uudelleen tässä istunnossa","patchApprovalRequest.menu.allowForSession":"Kyllä, äläkä kysy uudelleen tässä istunnossa","patchApprovalRequest.menu.allowOnce":"Kyllä","patchApprovalRequest.prompt":"Haluatko tehdä nämä muutokset?","patchApprovalRequest.reject":"Ei","patchApprovalRequest.waitingForApproval":"Odotetaan hyväksyntää tiedostojen muokkaamiselle","pendingRequest.approvalExec.collapse":"Kutista","pendingRequest.approvalExec.expand":"Laajenna","pendingRequestStory.toastAnswer":"Vastaa: {answer}","pendingRequestStory.toastApprovalTitle":"Hyväksyntävastaukset","pendingRequestStory.toastFollowupPrompt":"Kehote: {prompt}","pendingRequestStory.toastFollowupTitle":"Seuranta lähetetty","pendingRequestStory.toastNoAnswers":"Ei vastauksia","pendingRequestStory.toastQuestion":"Kysymys: {question}","pendingRequestStory.toastUnknownDecision":"Tuntematon","pendingRequestStory.toastUserInputTitle":"Vastaukset lähetetty","quickAction.request.codeReview.branches.new":"Tarkasta kohteen {from} muutokset verraten kohteeseen {to}","quickAction.request.codeReview.uncommitted.new":"Tarkasta tekemättömät muutokseni","reasoningItem.thinking":"Miettii","reasoningItem.thought":"Mietti","reasoningItem.thoughtWithElapsed":"Mietti {elapsed}","recentConversations.title":"Viimeaikaiset keskustelut","recentTasks.worktreeInitFailedTitle":"Työpuun alustaminen epäonnistui","recentTasks.worktreeSettingUpTitle":"Määritetään työpuu","requestInputPanel.continue":"Jatka","requestInputPanel.dismiss":"Hylkää","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Kirjoita tähän","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ei, ja kerro Codexille, mitä pitää tehdä toisin","requestInputPanel.selectedBadge":"Valittu","requestInputPanel.skip":"Ohita","requestInputPanel.submit":"Lähetä","review.commit.ariaLabel.includeUnstaged":"Sisällytä staged-tilaan siirtämättömät","review.commit.buttonLabel":"Vahvista","review.commit.disabled.committing":"Kommitoidaan…","review.commit.disabled.loadingDiff":"Ladataan muutosraporttia...","review.commit.disabled.missingContext":"Lisää kontekstia commit-viestin luomiseen","review.commit.disabled.noChanges":"Ei vahvistettavia muutoksia","review.commit.disabled.noSelection":"Valitse vahvistettavat muutokset","review.commit.disabled.unavailable":"Vahvistus ei ole juuri nyt käytettävissä","review.commit.error":"Muutosten vahvistaminen epäonnistui","review.commit.form.changesToBeCommitted":"Muutokset","review.commit.form.commitTo":"Haara","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Jatka","review.commit.form.title":"Kommitoi muutokset","review.commit.generate.emptyResponse":"Commit-viestiä ei voitu luoda.","review.commit.generate.failed":"Commit-viestin luominen epäonnistui: {error}","review.commit.generate.missingPrompt":"Lisää kontekstia commit-viestin luomiseen.","review.commit.includeUnstaged":"Sisällytä staged-tilaan siirtämättömät","review.commit.loading.description":"Odota vielä, tämä voi kestää hetken…","review.commit.loading.step.commit.done":"Muutokset kommitoitiin","review.commit.loading.step.commit.pending":"Kommitoidaan muutoksia","review.commit.loading.step.createPr.done":"Pull-pyyntö luotu","review.commit.loading.step.createPr.pending":"Luodaan pull-pyyntöä","review.commit.loading.step.push.done":"Lähetetty haaraan {branch}","review.commit.loading.step.push.pending":"Lähetetään haaraan {branch}","review.commit.loading.title.commit":"Kommitoidaan muutoksia","review.commit.loading.title.createPr":"Luodaan pull-pyyntöä","review.commit.loading.title.push":"Lähetetään muutoksia","review.commit.messageLabel":"Vahvistusviesti","review.commit.messagePlaceholder":"Jätä tyhjäksi luodaksesi commit-viestin automaattisesti","review.commit.nextSteps":"Seuraavat vaiheet","review.commit.nextSteps.commit":"Kommitoi","review.commit.nextSteps.commitAndCreate":"Kommitoi ja luo pull-pyyntö","review.commit.nextSteps.commitAndPush":"Kommitoi ja lähetä","review.commit.nextSteps.prRequiresGh":"GitHub CLI vaaditaan: {command}","review.commit.rows.changes":"Muutokset","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# committia}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# committia}} ja {stats}","review.commit.rows.fileCount":"{count, plural, one {# tiedosto} other {# tiedostoa}}","review.commit.state.error.body":"Jokin meni pieleen vahvistuksessa. Tarkista git-tila ja yritä uudelleen.","review.commit.state.error.title":"Vahvistus epäonnistui","review.commit.state.success.title":"Muutokset kommitoitu","review.commit.untracked.loadingStats":"Ladataan seuraamattomia vertailunäkymätilastoja…","reviewFindingAttachments.count":"{count, plural, one {# tulos} other {# tulosta}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Mukauta agentin käytöstä muokkaamalla määritystä","settings.agent.configuration.configToml.docs":"Asiakirjat","settings.agent.configuration.configToml.restartNote":"Ota muutokset käyttöön käynnistämällä Codex uudelleen muokkauksen jälkeen","settings.agent.configuration.subtitle":"Nämä asetukset koskevat kaikkia Codexin käyttöpaikkoja","settings.automations.banner.danger":"Automaatiot toimivat oletusarvoisilla hiekkalaatikkoasetuksilla, jotka on tällä hetkellä asetettu täyteen käyttöoikeuteen. Täydellä käyttöoikeudella suoritettavat, taustalla toimivat automaatiot sisältävät suuremman riskin, koska Codex voi muokata tiedostoja, suorittaa komentoja ja käyttää verkkoa kysymättä lupaa. Harkitse hiekkalaatikkoasetusten päivittämistä työtilan kirjoitukseen ja <rulesDocsLink>sääntöjen</rulesDocsLink> käyttöä, jotta voit valikoivasti määritellä, mitä komentoja agentti voi suorittaa täydellä käyttöoikeudella.","settings.automations.banner.defaultHowTo.default":"Automaatiot toimivat oletusarvoisilla hiekkalaatikkoasetuksilla. Työkalukutsut onnistuvat, jos ne edellyttävät tiedostojen muokkaamista työtilan ulkopuolella, verkkoon pääsyä tai tietokoneen sovellusten käyttöä. Voit valikoivasti sallia komentojen suorittamisen hiekkalaatikon ulkopuolella käyttämällä <rulesDocsLink>sääntöjä</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automaatiot toimivat oletusarvoisilla hiekkalaatikkosäätöillä, jotka on asetettu vain luku -tilaan. Työkalukutsut epäonnistuvat, jos ne edellyttävät tiedostojen muokkaamista, verkkoon pääsyä tai tietokoneen sovellusten käyttöä. Harkitse hiekkalaatikon asetusten päivittämistä työtilan kirjoitusoikeudeksi.","settings.automations.cancel":"Peruuta","settings.automations.create":"Luo","settings.automations.cwdEmpty":"Projektikansioita ei ole käytettävissä","settings.automations.cwdLabel":"Projektit","settings.automations.cwdPlaceholder":"Valitse kansio","settings.automations.cwdSubtitle":"Jos haluat automaation suorittavan tietyllä haaralla, voit määrittää sen kehotteessa.","settings.automations.delete":"Poista","settings.automations.dialog.editTitle":"Muokkaa automaatiota","settings.automations.dialog.newTitle":"Uusi automaatio","settings.automations.dialog.subtitle":"Automatisoi toistuvat tehtävät taustalla. Codex lisää löydökset saapuneet-kansioon tai arkistoi tehtävän automaattisesti, jos raportoitavaa ei ole. <learnMoreLink>Lisätietoja</learnMoreLink>","settings.automations.dialog.title":"Luo automaatio","settings.automations.executionCopy.git":"Automaatiot suoritetaan taustalla erityisillä työpuilla.","settings.automations.executionCopy.nonGit":"Automaatiot versiohallitsemattomissa projekteissa suoritetaan suoraan projektikansiossa. Harkitse Gitin käyttöä, jotta voit suorittaa työpuita taustalla.","settings.automations.executionEnvironment.local":"Paikallinen","settings.automations.executionEnvironment.worktree":"Työpuu","settings.automations.loading":"Ladataan...","settings.automations.nameLabel":"Nimi","settings.automations.namePlaceholder":"Tarkasta Sentry-ongelmat","settings.automations.pause":"Pysäytä","settings.automations.promptLabel":"Kehote","settings.automations.promptPlaceholder":"etsi kaatumisia kohteessa $Sentry","settings.automations.resume":"Jatka","settings.automations.rruleSummaryFallback":"Mukautettu aikataulu","settings.automations.runNow":"Testi","settings.automations.save":"Tallenna","settings.automations.scheduleBadge.dayCount":"{count} pv","settings.automations.scheduleBadge.interval":"{count} t","settings.automations.scheduleBadge.weekdays":"Arkipäivät","settings.automations.scheduleBadge.weekends":"Viikonloput","settings.automations.scheduleHeader":"Aikataulu","settings.automations.scheduleHours":"tunnin välein","settings.automations.scheduleLabel":"Suorita","settings.automations.scheduleMode.daily":"Joka päivä","settings.automations.scheduleMode.interval":"Aikaväli","settings.automations.scheduleModeLabel":"Aikataulun tyyppi","settings.automations.scheduleSummary.daily":"Joka päivä klo {time}","settings.automations.scheduleSummary.interval":"Joka {count} tunnin välein","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# päivän} other {# päivää}}","settings.automations.scheduleSummary.intervalDays":"{interval} joka {days}","settings.automations.scheduleSummary.intervalHourly":"Tuntikohtainen","settings.automations.scheduleSummary.singleDay":"{day} klo {time}","settings.automations.scheduleSummary.weekdays":"Arkisin klo {time}","settings.automations.scheduleSummary.weekdaysLabel":"arkipäivät","settings.automations.scheduleSummary.weekends":"Viikonloppuisin klo {time}","settings.automations.scheduleSummary.weekendsLabel":"viikonloput","settings.automations.scheduleSummary.weekly":"{days} klo {time}","settings.automations.scheduleWeekdays":"Käytössä","settings.automations.weekdayState.excluded":"Poissuljettu","settings.automations.weekdayState.included":"Sisältyy","settings.conversationDetail.steps":"Vaiheet","settings.conversationDetail.steps.description":"Piilota komennot ja tuotokset","settings.conversationDetail.stepsWithCommands":"Vaiheet koodikomennoilla","settings.conversationDetail.stepsWithCommands.description":"Näytä komennot, kutista tuotokset","settings.conversationDetail.stepsWithOutput":"Vaiheet koodin tuotoksella","settings.conversationDetail.stepsWithOutput.description":"Näytä komennot ja laajenna tuotos","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ei arkistoituja keskusteluja.","settings.dataControls.archivedChats.error":"Arkistoituja keskusteluja ei voitu ladata.","settings.dataControls.archivedChats.loading":"Ladataan arkistoituja keskusteluja...","settings.dataControls.archivedChats.unarchive":"Poista arkistosta","settings.dataControls.archivedChats.unarchiveError":"Keskustelun poisto arkistosta epäonnistui","settings.dataControls.archivedChats.unarchiveSuccess":"Arkistosta poistettu ketju. <viewNowLink>Näytä nyt</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Ketju poistettiin arkistosta.","settings.dataControls.archivedChats.untitled":"Nimetön keskustelu","settings.dataControls.archivedChats.viewNow":"Näytä nyt","settings.editRow.headerPlaceholder":"Avain","settings.editRow.removeEntry":"Poista merkintä","settings.editRow.valuePlaceholder":"Arvo","settings.general.appearance":"Ulkoasu","settings.general.appearance.codeFont":"Koodin fontti","settings.general.appearance.codeFont.description":"Muuta koodin fonttia ja kokoa keskusteluissa ja vertailunäkymissä","settings.general.appearance.codeFontFamily":"Koodin fonttiperhe","settings.general.appearance.codeFontSize":"Koodin fonttikoko","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Käytä ikkunoissa kiinteää taustaa, ei järjestelmän läpinäkyvyyttä","settings.general.appearance.opaqueWindows.label":"Käytä läpinäkymätöntä ikkunataustaa","settings.general.appearance.sansFontFamily":"Sans-fonttiperhe","settings.general.appearance.sansFontFamily.description":"Muuta Codex UI:ssä käytettyä fonttia","settings.general.appearance.sansFontSize":"Sans-fonttikoko","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Näytä juhlatehosteet koko ikkunassa, kun GPT-5.3-Codex-Spark suoritetaan ensimmäistä kertaa","settings.general.appearance.sparkCelebrationEffects.label":"Sparkin juhlatehosteet","settings.general.appearance.theme":"Teema","settings.general.appearance.theme.dark":"Tumma","settings.general.appearance.theme.description":"Käytä vaaleaa, tummaa tai järjestelmään sopivaa väriä","settings.general.appearance.theme.light":"Vaalea","settings.general.appearance.theme.system":"Järjestelmä","settings.general.appearance.usePointerCursors.description":"Muuta kursori osoittimeksi, kun viet sen interaktiivisten elementtien päälle","settings.general.appearance.usePointerCursors.label":"Käytä osoitinkursoreita","settings.general.enterBehavior.description":"Kun käytössä, usean rivin kehotteiden lähettämiseen vaaditaan {modifierSymbol} + enter.","settings.general.enterBehavior.label":"Vaaditaan {modifierSymbol} + enter lähettääksesi pitkä kehotteita","settings.general.experimentalFeatures":"Kokeelliset ominaisuudet (Beeta)","settings.general.experimentalFeatures.empty":"Beeta-versiossa ei ole kokeellisia ominaisuuksia.","settings.general.experimentalFeatures.loading":"Ladataan kokeellisia ominaisuuksia…","settings.general.experimentalFeatures.restartNote":"Käynnistä Codex uudelleen, jotta kokeelliset ominaisuusmuutokset otetaan käyttöön","settings.general.experimentalFeatures.toggle":"Valitse {featureName}","settings.general.followUpQueueMode.description":"Aseta jatkotoimet jonoon, kun Codex on suoritustilassa, tai ohjaa nykyistä suoritusta. Paina {invertFollowUpShortcutLabel}, jos haluat suorittaa päinvastaisen toiminnon yhdelle viestille.","settings.general.followUpQueueMode.interrupt":"Ohjaa","settings.general.followUpQueueMode.label":"Jatkotoimia koskeva käyttäytyminen","settings.general.followUpQueueMode.queue":"Aseta jonoon","settings.general.notifications":"Ilmoitukset","settings.general.power.preventSleepWhileRunning.description":"Pidä tietokone hereillä, kun Codex suorittaa ketjua.","settings.general.power.preventSleepWhileRunning.label":"Estä lepotila suorittamisen aikana","settings.git.branchPrefix.ariaLabel":"Haaran etuliite","settings.git.branchPrefix.description":"Etuliite, jota käytetään luotaessa uusia haaroja Codexissa","settings.git.branchPrefix.label":"Haaran etuliite","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Haaran etuliitteen tallentaminen epäonnistui","settings.git.branchPrefix.save.success":"Tallennettu haaran etuliite","settings.git.commitInstructions.ariaLabel":"Commit-ohjeet","settings.git.commitInstructions.description":"Lisätty commit-viestien luomisen kehotteisiin","settings.git.commitInstructions.label":"Commit-ohjeet","settings.git.commitInstructions.placeholder":"Lisää commit-viestiopas…","settings.git.commitInstructions.save":"Tallenna","settings.git.commitInstructions.save.error":"Commit-ohjeiden tallentaminen epäonnistui","settings.git.commitInstructions.save.success":"Commit-ohjeet tallennettu","settings.git.forcePush.ariaLabel":"Pakota aina push-lähetys","settings.git.forcePush.description":"Käytä --force-with-lease-komentoa, kun lähetetään Codexista","settings.git.forcePush.label":"Pakota aina push-lähetys","settings.git.forcePush.save.disabled":"Pakota aina push-lähetys poistettu käytöstä","settings.git.forcePush.save.enabled":"Pakota aina push-lähetys otettu käyttöön","settings.git.forcePush.save.error":"Pakota push-lähetys -asetuksen tallennus epäonnistui","settings.git.prInstructions.ariaLabel":"Pull-pyynnön ohjeet","settings.git.prInstructions.description":"Liitetty Codexin luomiin pull-pyyntöjen runkoihin","settings.git.prInstructions.label":"Pull-pyynnön ohjeet","settings.git.prInstructions.placeholder":"Lisää pull-pyynnön opastus…","settings.git.prInstructions.save":"Tallenna","settings.git.prInstructions.save.error":"Pull-pyynnön ohjeiden tallentaminen epäonnistui","settings.git.prInstructions.save.success":"Pull-pyynnön ohjeet tallennettu","settings.ide.defaultOpenTarget.description":"Kertoo, missä tiedostot ja kansiot avautuvat oletusarvoisesti","settings.ide.defaultOpenTarget.label":"Oletusarvoinen avautumiskohde","settings.ide.defaultOpenTarget.placeholder":"Kohteita ei löydetty","settings.ide.language.auto":"Automaattinen havaitseminen","settings.ide.language.autoOption":"Automaattinen havaitseminen","settings.ide.language.description":"Sovelluksen käyttöliittymän kieli","settings.ide.language.label":"Kieli","settings.ide.language.search":"Hae kieliä","settings.layout.actionButton":"Käynnistä laajennus uudelleen","settings.layout.actionTitle":"Asetukset ja toiminto","settings.layout.fullWidthTitle":"Asetukset (koko leveys)","settings.layout.title":"Asetukset","settings.localEnvironments.actions.add":"Lisää toiminto","settings.localEnvironments.actions.add.description":"Luo uusi komento suoritettavaksi työkalupalkista.","settings.localEnvironments.actions.add.save":"Tallenna","settings.localEnvironments.actions.empty":"Lisää toiminto, jolla voit suorittaa komentoja paikallisen työkalupalkin kautta.","settings.localEnvironments.actions.icon.debug":"Poista virheet","settings.localEnvironments.actions.icon.run":"Suoritettiin","settings.localEnvironments.actions.icon.test":"Testi","settings.localEnvironments.actions.icon.tool":"Työkalu","settings.localEnvironments.actions.item.button.delete":"Poista","settings.localEnvironments.actions.item.command":"Toiminnon komentosarja","settings.localEnvironments.actions.item.name":"Nimi","settings.localEnvironments.actions.item.platforms":"Alustat","settings.localEnvironments.actions.item.platforms.help":"Suorita vain tietyssä käyttöjärjestelmässä.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Alustan valinta","settings.localEnvironments.actions.item.platforms.specific":"Alustakohtainen","settings.localEnvironments.actions.item.platforms.windows":"Ikkunat","settings.localEnvironments.actions.item.tooltip.delete":"Poista","settings.localEnvironments.actions.title":"Toiminnot","settings.localEnvironments.breadcrumb.back":"Takaisin","settings.localEnvironments.breadcrumb.edit":"muokkaa","settings.localEnvironments.breadcrumb.root":"Ympäristöt","settings.localEnvironments.environment.actions.description":"Näillä toiminnoilla voidaan suorittaa mitä tahansa toimintoja, ja ne näkyvät otsakkeessa.","settings.localEnvironments.environment.actionsLabel":"Toiminnot","settings.localEnvironments.environment.create":"Luo paikallinen ympäristö","settings.localEnvironments.environment.defaultName":"paikallinen","settings.localEnvironments.environment.edit":"Muokkaa paikallista ympäristöä","settings.localEnvironments.environment.empty":"Tälle projektille ei vielä ole määritetty paikallista ympäristöä.","settings.localEnvironments.environment.name":"Nimi","settings.localEnvironments.environment.setup":"Määrityskomentosarja","settings.localEnvironments.environment.setup.description":"Tämä komentosarja suoritetaan työpuun luonnissa.","settings.localEnvironments.environment.setup.hint":"Suoritetaan projektin juuressa.","settings.localEnvironments.environment.setup.platformOverrides":"Alustan ohitukset","settings.localEnvironments.environment.setup.platformOverrides.add":"Lisää alustan {platform} määrityskomentosarja","settings.localEnvironments.environment.setup.platformOverrides.description":"Ohittaa oletuskomentosarjan tietyissä käyttöjärjestelmissä.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Poista","settings.localEnvironments.environment.setup.script":"Komentosarja","settings.localEnvironments.environment.title":"Ympäristön tiedot","settings.localEnvironments.file.missing":"Tallenna, jotta voit luoda tiedoston ensimmäisen kerran.","settings.localEnvironments.file.parseError":"Nykyisen tiedoston jäsennys ei onnistu. Tallentaminen korvaa sen. ({error})","settings.localEnvironments.file.path":"Tiedosto: {path}","settings.localEnvironments.file.readError":"Paikallisen ympäristön tietojen lataaminen epäonnistui. ({error})","settings.localEnvironments.file.title":"Paikallisen ympäristön tiedosto","settings.localEnvironments.loading.body":"Haetaan projektisi määritystä.","settings.localEnvironments.loading.title":"Ladataan paikallisia ympäristöjä","settings.localEnvironments.preview.devOnly":"(Vain kehittäjät)","settings.localEnvironments.preview.save":"Tallenna","settings.localEnvironments.preview.saveError":"Tiedoston tallentaminen epäonnistui. ({error})","settings.localEnvironments.preview.title":"Esikatselu","settings.localEnvironments.save.disabled.name":"Lisää ympäristön nimi tallentaaksesi.","settings.localEnvironments.save.disabled.noChanges":"Ei tallennettavia muutoksia.","settings.localEnvironments.save.disabled.saving":"Tallennetaan...","settings.localEnvironments.save.success":"Paikallinen ympäristö tallennettu","settings.localEnvironments.unavailable.body":"Projektin paikallisia ympäristöasetuksia ei voitu ladata.","settings.localEnvironments.unavailable.title":"Paikallisia ympäristöjä ei ole saatavilla","settings.localEnvironments.workspace.add":"Lisää projekti","settings.localEnvironments.workspace.title":"Projekti","settings.localEnvironments.workspaceSelect.addLabel":"Lisää ympäristö","settings.localEnvironments.workspaceSelect.description":"Paikalliset ympäristöt kertovat Codexille, miten määritetään työpuut projektille. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ei vielä projekteja. Lisää yksi paikallisten ympäristöjen määrittämiseksi.","settings.localEnvironments.workspaceSelect.errorLabel":"Ympäristö vaatii huomiota","settings.localEnvironments.workspaceSelect.learnMore":"Lue lisää","settings.localEnvironments.workspaceSelect.listLabel":"Käytettävissä olevat projektit","settings.localEnvironments.workspaceSelect.loading":"Ladataan projekteja.","settings.localEnvironments.workspaceSelect.loadingLabel":"Ladataan ympäristöä","settings.localEnvironments.workspaceSelect.title":"Valitse projekti","settings.localEnvironments.workspaceSelect.viewAction":"Näytä","settings.mcp.addServer":"Lisää palvelin","settings.mcp.app.configure":"Määritä","settings.mcp.app.connect":"Yhdistä","settings.mcp.apps.refresh":"Päivitä","settings.mcp.detail.addArgument":"Lisää argumentti","settings.mcp.detail.addEnvVar":"Lisää ympäristömuuttuja","settings.mcp.detail.addEnvVarPassthrough":"Lisää muuttuja","settings.mcp.detail.args":"Argumentit","settings.mcp.detail.back":"Takaisin","settings.mcp.detail.command":"Käynnistyskomento","settings.mcp.detail.cwd":"Työhakemisto","settings.mcp.detail.docs":"Avaa MCP-dokumentaatio","settings.mcp.detail.docs.link":"Asiakirjat","settings.mcp.detail.envVarPassthrough":"Ympäristömuuttujien läpikulku","settings.mcp.detail.envVars":"Ympäristömuuttujat","settings.mcp.detail.http.addEnvHeader":"Lisää muuttuja","settings.mcp.detail.http.addHeader":"Lisää otsake","settings.mcp.detail.http.bearerToken":"Haltijatunnisteen ympäristömuuttuja","settings.mcp.detail.http.envHeaders":"Ympäristönmuuttujien otsakkeet","settings.mcp.detail.http.headers":"Otsakkeet","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nimi","settings.mcp.detail.save":"Tallenna","settings.mcp.detail.switchTransportNotice":"Jos haluat vaihtaa MCP-palvelimen tyypin, poista ensin asennus.","settings.mcp.detail.titleExisting":"Päivitä MCP {name}","settings.mcp.detail.titleNew":"Yhdistä mukautettuun MCP:hen","settings.mcp.detail.transport.http":"Striimattava HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Poista asennus","settings.mcp.empty":"Ei yhdistettyjä mukautettuja MCP-palvelimia","settings.mcp.myServers":"Mukautetut palvelimet","settings.mcp.partnerServer.description.figma":"Luo parempaa koodia tuomalla täysi Figma-konteksti","settings.mcp.partnerServer.description.github":"Automatisoi työnkulkuja ja pura tietoa integroimalla GitHubin API:t","settings.mcp.partnerServer.description.linear":"Integroi Linearin ongelmanseuranta ja projektinhallinta","settings.mcp.partnerServer.description.notion":"Lue dokumentteja, päivitä sivuja, hallinnoi tehtäviä","settings.mcp.partnerServer.description.playwright":"Käytä designia ja testaa käyttöliittymää integroimalla selaimen automaatiot.","settings.mcp.partnerServer.install":"Asenna","settings.mcp.partnerServer.installAndAuthenticate":"Asenna ja todenna","settings.mcp.partnerServer.logoAlt":"Sovelluksen {label} logo","settings.mcp.partnerServer.manage":"Hallinta","settings.mcp.partnerServer.vendor":"tekijältä {vendor}","settings.mcp.recommendedServers":"Suositellut palvelimet","settings.mcp.restartApp":"Käynnistä uudelleen","settings.mcp.restartExtension":"Käynnistä laajennus uudelleen","settings.mcp.server.enable":"Ota käyttöön","settings.mcp.server.login":"Todentaudu","settings.mcp.server.settings":"Asetukset","settings.multiselect.createOption":"Luo ”{value}”","settings.multiselect.removeOption":"Poista","settings.nav.account":"Tili","settings.nav.agent":"Määritykset","settings.nav.ariaLabel":"Asetukset","settings.nav.back":"Takaisin sovellukseen","settings.nav.data-controls":"Arkistoidut ketjut","settings.nav.environments":"Pilviympäristöt","settings.nav.externalTooltip":"[alpha] Avautuu selaimessa","settings.nav.general-settings":"Yleinen","settings.nav.git-settings":"Git","settings.nav.local-environments":"Ympäristöt","settings.nav.mcp-settings":"MCP-palvelimet","settings.nav.notImplemented":"[alpha] Ei saatavilla Alfassa","settings.nav.personalization":"Yksilöinti","settings.nav.skills-settings":"Taidot","settings.nav.usage-analytics":"Käyttö ja analytiikka","settings.nav.worktrees":"Työpuut","settings.openSourceLicenses.back":"Takaisin","settings.openSourceLicenses.loading":"Ladataan...","settings.openSourceLicenses.missing":"Kolmannen osapuolen ilmoituksia ei löytynyt.","settings.openSourceLicenses.notSupported":"Ei vielä saatavilla tässä isännässä.","settings.openSourceLicenses.rowDescription":"Kolmannen osapuolen ilmoitukset niputetuista riippuvuuksista","settings.openSourceLicenses.rowLabel":"Avoimen lähdekoodin lisenssit","settings.openSourceLicenses.subtitle":"Tähän sovellukseen sisältyvät kolmannen osapuolen ilmoitukset","settings.openSourceLicenses.title":"Avoimen lähdekoodin lisenssit","settings.openSourceLicenses.view":"Näytä","settings.personalization.agents.description":"Muokkaa ohjeita, joilla Codex räätälöidään sinulle sopivaksi. {learnMore}","settings.personalization.agents.learnMore":"Lue lisää","settings.personalization.agents.loadError":"agents.md-tiedoston lataaminen ei onnistunut.","settings.personalization.agents.loading":"Ladataan agents.md-tiedostoa…","settings.personalization.agents.placeholder":"Lisää mukautetut ohjeet…","settings.personalization.agents.retry":"Yritä uudelleen","settings.personalization.agents.save":"Tallenna","settings.personalization.agents.save.error":"agents.md-tiedoston tallentaminen ei onnistunut","settings.personalization.agents.save.success":"agents.md tallennettu","settings.personalization.agents.title":"Mukautetut ohjeet","settings.personalization.personality.description":"Valitse oletussävy Codex-vastauksille","settings.personalization.personality.label":"Persoonallisuus","settings.sample.contentBody":"Käytä tätä asettelua, niin asetuspaneeliesi välistys on yhtenäinen.","settings.sample.contentTitle":"Esimerkki sisältölohkosta","settings.section.account":"Tili","settings.section.agent":"Määritykset","settings.section.data-controls":"Arkistoidut ketjut","settings.section.environments":"Pilviympäristöt","settings.section.external":"Avautuu selaimessa alfaversiossa","settings.section.general-settings":"Yleinen","settings.section.git-settings":"Git","settings.section.local-environments":"Ympäristöt","settings.section.mcp-settings":"MCP-palvelimet","settings.section.mcp-settings.docs":"Asiakirjat","settings.section.mcp-settings.subtitle":"Yhdistä ulkoiset työkalut ja tietolähteet.","settings.section.personalization":"Yksilöinti","settings.section.skills-settings":"Taidot","settings.section.unavailable":"Ei vielä saatavilla alfaversiossa","settings.section.usage-analytics":"Käyttö ja analytiikka","settings.section.worktrees":"Työpuut","settings.threadDetail.description":"Valitse, kuinka paljon komennon tuotoksesta näytetään ketjuissa","settings.threadDetail.label":"Ketjun tiedot","settings.worktrees.conversation.untitled":"Nimetön keskustelu","settings.worktrees.delete.error":"Työpuun poistaminen epäonnistui","settings.worktrees.empty.body":"Codex-ohjelmalla luodut työpuut näkyvät tässä.","settings.worktrees.empty.title":"Ei vielä työpuita","settings.worktrees.error.body":"Jokin meni vikaan ladattaessa työpuita.","settings.worktrees.error.retry":"Yritä uudelleen","settings.worktrees.error.title":"Työpuita ei voitu ladata","settings.worktrees.loading.body":"Haetaan työpuun tietoja.","settings.worktrees.loading.title":"Ladataan työnpuita","settings.worktrees.repository.loading":"Ladataan varaston metatietoja…","settings.worktrees.repository.unknown":"Tuntematon varasto","settings.worktrees.row.conversations":"Keskustelut","settings.worktrees.row.conversations.empty":"Tähän työpuuhun ei liity keskusteluja.","settings.worktrees.row.conversations.loading":"Ladataan keskusteluja...","settings.worktrees.row.delete":"Poista","settings.worktrees.row.title":"Työpuu","sidebarElectron.addWorkspaceRoot":"Lisää uusi projekti","sidebarElectron.archiveThread":"Arkistoi ketju","sidebarElectron.archiveThreadError":"Ketjun arkistointi epäonnistui","sidebarElectron.collapseFolder":"Kutista kansio","sidebarElectron.createStableWorktree.dialog.cancel":"Peruuta","sidebarElectron.createStableWorktree.dialog.create":"Luo","sidebarElectron.debugNavLink":"Poista virheet","sidebarElectron.editWorkspaceRootOptionName":"Muokkaa nimeä","sidebarElectron.expandFolder":"Laajenna kansio","sidebarElectron.groupByMenu.recency":"Kronologinen luettelo","sidebarElectron.groupByMenu.title":"Järjestä","sidebarElectron.groupByMenu.workspace":"Projektin mukaan","sidebarElectron.inboxRouteNavLink":"Automaatiot","sidebarElectron.markThreadUnread":"Merkitse lukemattomaksi","sidebarElectron.missingWorkspaceRoot":"Tämä projektikansio on poistettu tai siirretty","sidebarElectron.newThread":"Uusi ketju","sidebarElectron.newThreadInGroup":"Aloita uusi ketju kansiossa {folder}","sidebarElectron.noRecentThreads":"Ei viimeaikaisia ketjuja","sidebarElectron.noTasks":"Ei ketjuja","sidebarElectron.noTasks.start":"Lisää uusi projekti","sidebarElectron.noTasksWithFilter":"Mikään ketju ei vastaa suodattimia","sidebarElectron.pinnedThreads":"Kiinnitetyt ketjut","sidebarElectron.recentNavLink":"Ketjut","sidebarElectron.recentThreads":"Viimeaikaiset ketjut","sidebarElectron.removeWorkspaceRootOption":"Poista","sidebarElectron.renameThread":"Nimeä ketju uudelleen","sidebarElectron.renameThreadDialogAriaLabel":"Ketjun otsikko","sidebarElectron.renameThreadDialogCancel":"Peruuta","sidebarElectron.renameThreadDialogPlaceholder":"Lisää otsikko…","sidebarElectron.renameThreadDialogSave":"Tallenna","sidebarElectron.renameThreadDialogSubtitle":"Valitse lyhyt ja helposti tunnistettava otsikko.","sidebarElectron.renameThreadDialogTitle":"Nimeä ketju uudelleen","sidebarElectron.renameThreadError":"Ketjun uudelleen nimeäminen epäonnistui","sidebarElectron.renameWorkspaceRootOptionLabel":"Näyttönimi","sidebarElectron.showLess":"Näytä vähemmän","sidebarElectron.showMenu.all":"Kaikki ketjut","sidebarElectron.showMenu.relevant":"Asiaankuuluva","sidebarElectron.showMenu.relevantHint":"Näytä vain viimeaikaiset ketjut nykyiselle haaralle, työpuille tai muille huomiotasi vaativille ketjuille","sidebarElectron.showMenu.title":"Näytä","sidebarElectron.showMenu.tooltip":"Suodata, lajittele ja järjestä ketjut","sidebarElectron.showMenu.trigger":"Suodata sivupalkin ketjuja","sidebarElectron.showMore":"Näytä enemmän","sidebarElectron.skillsRouteNavLink":"Taidot","sidebarElectron.sortMenu.created":"Luotu","sidebarElectron.sortMenu.title":"Lajittele kohteen mukaan","sidebarElectron.sortMenu.updated":"Päivitetty","sidebarElectron.taskNavigation":"Automaatiokansiot","sidebarElectron.tasksInFolder":"Automaatiot kansiossa {folder}","sidebarElectron.workspaceOptions":"Projektin toiminnot kohteelle {folder}","sidebarElectron.worktreeGroupTooltip":"Tämä on git-työpuu","skills.appsPage.createSkill":"Uusi taito","skills.appsPage.empty.skills":"Taitoja ei löydetty","skills.appsPage.search.skills":"Hae taitoja","skills.appsPage.search.skills.label":"Hae taitoja","skills.appsPage.section.installedApps":"Asennettu","skills.appsPage.section.skills":"Taidot","skills.appsPage.subheading":"Anna Codexille supervoimat. <link>Lue lisää</link>","skills.appsPage.tab.recommended":"Suositeltu","skills.appsPage.tab.skills":"Taidot","skills.card.contentsError":"Taitosisältöjen lataaminen ei onnistunut.","skills.card.disable":"Poista käytöstä","skills.card.disableSuccess":"{skillName} taito pois käytöstä","skills.card.disabledBadge":"Ei käytössä","skills.card.enable":"Ota käyttöön","skills.card.enableSuccess":"{skillName} taito otettu käyttöön","skills.card.loadingContents":"Ladataan taitosisältöjä...","skills.card.more":"Lisää toimintoja","skills.card.open":"Avaa","skills.card.removeFailed":"Taidon poistaminen epäonnistui","skills.card.removeSuccess":"{skillName} taito poistettu käytöstä","skills.card.toggleEnabledError":"Taidon päivittäminen epäonnistui","skills.card.try":"Kokeile","skills.card.trySkill":"Kokeile taitoa","skills.card.uninstall":"Poista asennus","skills.hero.dotLabel":"Siirry diaan {index}","skills.hero.next":"Seuraava esiteltävä taito","skills.hero.trySkill":"Kokeile taitoa","skills.page.createSkill":"Uusi taito","skills.page.empty":"Taitoja ei löydetty","skills.page.filteredEmpty":"Mitkään taidot eivät vastaa suodattimiasi","skills.page.filteredEmptyDescription":"Kokeile muokata hakua tai suodattimien laajuutta","skills.page.heading":"Taidot","skills.page.loading":"Ladataan taitoja...","skills.page.refreshSkills":"Päivitä","skills.page.refreshSkillsToUseNew":"Päivitä käyttääksesi uusia taitoja","skills.page.search":"Hae taitoja","skills.page.search.label":"Hae taitoja","skills.page.subheading":"Anna Codexille supervoimat. <link>Lue lisää</link>","skills.preview.copyPrompt":"Kopioi kehote","skills.preview.examplePrompt":"Esimerkki kehotteesta","skills.recommended.error":"Suositeltujen taitojen lataaminen ei onnistunut","skills.recommended.install":"Asenna","skills.recommended.installSkill":"Asenna taito","skills.recommended.installSuccess":"{skillName} taito asennettu","skills.recommended.installed":"Asennettu","skills.scope.admin":"Ylläpitäjä","skills.scope.adminInstalled":"Ylläpitäjä asennettu","skills.scope.builtIn":"Järjestelmä","skills.scope.personal":"Henkilökohtainen","skills.scope.repo":"Varasto","skills.scope.system":"Järjestelmä","skills.scope.team":"Tiimi","skills.scope.user":"Käyttäjä","skills.section.installed":"Asennettu","skills.section.recommended":"Suositeltu","story.slidingToggle.existing":"Olemassa oleva","story.slidingToggle.fromLocal":"Paikallisesta","story.slidingToggle.new":"Uusi","story.slidingToggle.toLocal":"Paikalliseen","terminal.close":"Sulje terminaali","terminal.title":"Terminaali","thinkingShimmer.default":"Miettii","threadEnvIcon.cloudTooltip":"Keskustelu on käynnissä Codex Cloudissa.","threadEnvIcon.localTooltip":"Keskustelu on käynnissä paikallisesti.","threadEnvIcon.worktreeTooltip":"Keskustelu käydään paikallisessa git-työpuussa.","threadHeader.archiveConfirmCancel":"Peruuta","threadHeader.archiveConfirmConfirm":"Arkistoi","threadHeader.archiveConfirmSubtitle":"Löydät sen myöhemmin arkistoiduista ketjuista.","threadHeader.archiveConfirmTitle":"Arkistoidaanko ketju?","threadHeader.copyAppLink":"Kopioi syvälinkki","threadHeader.copySessionId":"Kopioi istunnon tunnus","threadHeader.copyWorkingDirectory":"Kopioi työhakemisto","threadHeader.forkIntoLocal":"Haaroita paikalliseen","threadHeader.forkIntoWorktree":"Haaroita uuteen työpuuhun","threadHeader.forkPendingWorktreePrompt":"Haaroita tämä keskustelu uuteen työpuuhun.","threadHeader.forkPendingWorktreeTitle":"Haaroitettu keskustelu","threadHeader.forkThreadError":"Ketjun haaroittaminen epäonnistui","threadHeader.forkThreadRequiresGitRepo":"Haaroitus uuteen työpuuhun vaatii git-repositorion","threadHeader.moreActions":"Ketjutoiminnot","threadPage.newThread":"Uusi ketju","threadPage.runAction.changeEnvironment":"Luo ympäristö","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} toimintoa","threadPage.runAction.environmentSelector.label":"Valitse ympäristö","threadPage.runAction.label":"Suoritettiin","threadPage.runAction.missing.label":"Määritä suoritustoiminto","threadPage.runAction.setup.commandLabel":"Suorituskomento","threadPage.runAction.setup.description":"Kerro Codexille, miten haluat asentaa riippuvuudet, ja käynnistä sovellus.","threadPage.runAction.setup.editMore":"Ympäristön asetukset","threadPage.runAction.setup.placeholder":"esim. npm install npm run","threadPage.runAction.setup.submit":"Tallenna ja suorita","threadPage.runAction.setup.title":"Suoritettiin","threadPage.runAction.tooltip.withEnvironment":"{environmentName} toimintoa","threadPage.toggleDiffPanel":"Valitse muutosraportin paneeli","threadPage.toggleTerminal":"Vaihda terminaali","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Avaa kansio","toolSummaryForCmd.exploredFiles":"<verb>Lueteltiin</verb> tiedostoja","toolSummaryForCmd.exploredFilesInPath":"<verb>Lueteltiin</verb> tiedostoja polulla {path}","toolSummaryForCmd.exploringFiles":"<verb>Lueteltiin</verb> tiedostoja","toolSummaryForCmd.exploringFilesInPath":"<verb>Lueteltiin</verb> tiedostoja polulla {path}","toolSummaryForCmd.ranGenericCommand":"<status>Suorita komento</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Suoritti tämän: </status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lue</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Koodia suoritetaan</status>{timer}","toolSummaryForCmd.runningTimer":"kohteelle {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Haettiin</verb> haulla {query}","toolSummaryForCmd.searchedForFiles":"<verb>Haettiin</verb> tiedostoja","toolSummaryForCmd.searchedForInPath":"<verb>Haettiin</verb> haulla {query} polulta {path}","toolSummaryForCmd.searchingFor":"<verb>Haettiin</verb> haulla {query}","toolSummaryForCmd.searchingForFiles":"<verb>Haettiin</verb> tiedostoja","toolSummaryForCmd.searchingForInPath":"<verb>Haettiin</verb> haulla {query} polulta {path}","traceRecording.details.noteLabel":"Mitä olit tekemässä, kun tämä tapahtui? (valinnainen)","traceRecording.details.notePlaceholder":"Navigoin suureen ketjuun ja vaihdoin välilehtiä useita kertoja peräkkäin…","traceRecording.details.submit":"Lähetä jälki","traceRecording.details.subtitle":"Voimme lähettää tämän profiilijäljen tukemaan tehokkuusongelmien diagnosointia.","traceRecording.details.title":"Lähetetäänkö profiilijälki?","traceRecording.progress.subtitle":"Pidä Codex auki, kunnes tämä on suoritettu loppuun.","traceRecording.saving.title":"Tallennetaan jälkeä…","traceRecording.startDetails.cancel":"Peruuta","traceRecording.startDetails.submit":"OK, aloita tallentaminen","traceRecording.startDetails.subtitle":"Kun olet napsauttanut OK, toista tehokkuusongelma ja napsauta sitten leijuvaa punaista osoitinta, niin jäljen tallentaminen keskeytyy ja voit tarkastaa sen.","traceRecording.startDetails.title":"Miten jäljen tallentaminen toimii?","traceRecording.stopButton.ariaLabel":"Keskeytä jäljen tallentaminen","traceRecording.upload.successToast":"Profiilijälki lähetettiin.","traceRecording.uploading.title":"Ladataan jälkeä…","wham.diff.addComment":"Lisää kommentti","wham.diff.binaryFile":"Binääritiedostoa ei näytetä","wham.diff.noContent":"Ei sisältöä","wham.fileTag.deleted":"Poistettu","wham.fileTag.new":"Uusi","wham.formattedRelativeDateTime.compactDaysAgo":"{value} pv","wham.formattedRelativeDateTime.compactHoursAgo":"{value} t","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} kk","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} vk","wham.formattedRelativeDateTime.compactYearsAgo":"{value} v","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Tehtävääsi suoritetaan","wham.whamProposedTask.title":"Ehdotettu tehtävä","wham.whamProposedTask.useSuggestion":"Käytä ehdotusta","workspaceRootDialog.addError":"Projektin lisääminen epäonnistui","workspaceRootDialog.cancel":"Peruuta","workspaceRootDialog.confirmAdd":"Lisää projekti","workspaceRootDialog.confirmPick":"Käytä projektia","workspaceRootDialog.description":"Syötä polku kohteessa {host} käytettäväksi projektina.","workspaceRootDialog.pathLabel":"Projektin polku","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Lisää projektin polku","workspaceRootDialog.title.pick":"Valitse projektin polku","worktreeInitV2.cancel":"Peruuta","worktreeInitV2.notification.failedTitle":"Työpuun määritys epäonnistui","worktreeInitV2.output.empty":"Odotetaan tuotosta...","worktreeInitV2.status.error":"Työpuun määritys epäonnistui.","worktreeInitV2.status.running":"Luodaan työpuuta ja suoritetaan määritystä.","worktreeInitV2.status.runningFork":"Luodaan työpuuta tämän keskustelun haaroittamiseksi.","worktreeInitV2.status.success":"Työpuu on valmis.","worktreeInitV2.title":"Luodaan työpuuta","worktreeInitV2.workLocallyInstead":"Työskentele sen sijaan paikallisesti","worktreeRestoreBanner.body":"Tämän ketjun työpuu poistettiin levytilan säästämiseksi","worktreeRestoreBanner.missing.body":"Tämän ketjun työhakemistoa ei ole enää olemassa","worktreeRestoreBanner.missing.title":"Nykyinen työkansio puuttuu","worktreeRestoreBanner.restore.error":"Työpuun {message} palauttaminen epäonnistui","worktreeRestoreBanner.restore.success":"Työpuu palautettu","worktreeRestoreBanner.restoreCta":"Palauta työpuu","worktreeRestoreBanner.title":"Työpuu siivottu"};Object.assign(e,globalThis.codexI18nOverrides?.["fi-FI"]);export{e as default};
 //# sourceMappingURL=fi-FI-DIAMrIM_.js.map
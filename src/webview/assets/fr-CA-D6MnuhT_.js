@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Copier","app.sidebar.hide":"Masquer la barre latérale","app.sidebar.show":"Afficher la barre latérale","app.sidebar.tooltip":"Afficher/masquer la barre latérale","appHeader.installUpdate":"Mettre à jour","appSunset.body":"Cette version de l'application n'est plus prise en charge. Merci de bien vouloir télécharger la dernière version à partir de ce <here>lien</here>.","appSunset.title":"Mise à jour requise","automation.updateDirective.create":"Créer","automation.updateDirective.open":"Ouvrir","automation.updateDirective.untitled":"Automatisation sans titre","automation.updateDirective.update":"Mettre à jour","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# tentative} many {# tentatives} other {# tentatives}}","cloudTaskRow.archiveError":"Échec de l’archivage de la tâche","code.diff.requestChange":"Demander une modification","code.diffComment.cancel":"Annuler","code.diffComment.comment":"Commentaire","code.diffComment.delete":"Supprimer","code.diffComment.save":"Enregistrer","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Aucun résultat n’a été signalé.","codex.alert.closeAriaLabel":"Fermer","codex.appUpsellBanner.cbpApi.message":"Créez plus rapidement avec l’application Codex. Téléchargez-la dès maintenant ou {learnMoreLink}.","codex.appUpsellBanner.download":"Télécharger","codex.appUpsellBanner.freeGo.message":"Codex est inclus dans votre plan jusqu’au 2 mars. Essayez l’application Codex pour créer plus rapidement.","codex.appUpsellBanner.later":"Plus tard","codex.appUpsellBanner.learnMoreLowercase":"en savoir plus","codex.appUpsellBanner.new":"Nouveau","codex.appUpsellBanner.proPlusBusiness.message":"Essayez l’application Codex avec une limite de fréquence doublée jusqu’au 2 avril. Téléchargez-la dès maintenant ou {learnMoreLink}.","codex.appUpsellBanner.title":"Application Codex","codex.applyDropdown.header.changes":"Modifications","codex.applyDropdown.header.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","codex.applyDropdown.header.rows":"lignes","codex.applyDropdown.header.title":"Appliquer les modifications","codex.applyDropdown.header.workspace":"Projet","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fichier en conflit :} many {{count} fichiers en conflit :} other {{count} fichiers en conflit :}}","codex.applyDropdown.results.empty":"Aucun fichier n’a été copié","codex.applyDropdown.results.skipped":"{count, plural, one {1 fichier ignoré :} many {{count} fichiers ignorés :} other {{count} fichiers ignorés :}}","codex.applyOrRevertBanner.apply":"Appliquer","codex.applyOrRevertBanner.applyMessage":"Appliquer les modifications et continuer localement?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Cette tâche a été effectuée dans {environment} et peut donc ne pas s’appliquer correctement.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Les modifications ont été effectuées dans {environment} et peuvent donc ne pas s’appliquer correctement.","codex.applyOrRevertBanner.reapply":"Appliquer de nouveau","codex.applyOrRevertBanner.revert":"Récupérer","codex.applyOrRevertBanner.revertMessage":"Récupérer les modifications apportées?","codex.applyResultsDialog.applied":"Appliqués correctement ({count})","codex.applyResultsDialog.close":"Fermer","codex.applyResultsDialog.conflicted":"En conflit ({count})","codex.applyResultsDialog.noDetails":"Aucune information disponible sur le fichier.","codex.applyResultsDialog.skipped":"Ignorés ({count})","codex.applyResultsDialog.title":"Appliquer les résultats","codex.archiveInfo":"Afficher les sessions de clavardage archivées dans {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Contrôle des données","codex.archiveInfo.electron":"Afficher les sessions de clavardage archivées dans {settingsLink}.","codex.archiveInfo.extension":"Afficher les sessions de clavardage archivées dans votre dossier .codex.","codex.archiveInfo.settingsLink":"Paramètres","codex.banner.content.description":"Exécutez des tâches en parallèle, suivez leur progression où que vous soyez et examinez les PR à l’aide de l’IA.","codex.banner.content.headline":"Codex s’occupe de tout.","codex.cloudTaskRow.archiveTask":"Archiver la tâche","codex.cloudTaskRow.confirmArchiveTask":"Confirmer","codex.command.feedback":"Commentaire","codex.command.findInThread":"Trouver","codex.command.forceReloadSkills":"Forcer un nouveau chargement des compétences","codex.command.logOut":"Fermer la session","codex.command.manageTasks":"Gérer les tâches","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Retour","codex.command.navigateForward":"Suivant","codex.command.newThread":"Nouveau fil","codex.command.nextThread":"Fil suivant","codex.command.openFolder":"Ouvrir le fichier","codex.command.openSkills":"Afficher les compétences","codex.command.openThreadOverlay":"Ouvrir la fenêtre contextuelle du fil","codex.command.personalitySettings":"Personnalité","codex.command.previousThread":"Fil précédent","codex.command.settings":"Paramètres","codex.command.toggleDiffPanel":"Basculer vers le panneau des différences","codex.command.toggleSidebar":"Afficher/masquer la barre latérale","codex.command.toggleTerminal":"Activer/désactiver le terminal","codex.commandGroup.app":"Appli","codex.commandGroup.configure":"Configurer","codex.commandGroup.navigation":"Navigation","codex.commandGroup.panels":"Panneaux","codex.commandGroup.skills":"Compétences","codex.commandGroup.thread":"Fil de discussion","codex.commandGroup.workspace":"Projet","codex.commandMenu.noResults":"Aucune correspondance","codex.commandMenu.searchPlaceholder":"Rechercher des commandes","codex.commandMenu.suggestedGroup":"Suggéré","codex.commandMenu.switchWorkspace":"Changer de projet","codex.commandMenu.title":"Menu des commandes","codex.common.retry":"Réessayer","codex.composer.searchBranches":"Rechercher des branches","codex.dialog.basic.body":"Il s’agit d'une boîte de dialogue modale simple qui utilise notre enveloppeur autour de la boîte de dialogue Radix.","codex.dialog.basic.cancel":"Annuler","codex.dialog.basic.confirm":"Confirmer","codex.dialog.basic.open":"Ouvrir la boîte de dialogue","codex.dialog.basic.title":"Exemple de boîte de dialogue","codex.dialog.long.close":"Fermer","codex.dialog.long.line":"Ligne défilable {index} pour afficher un long contenu dans la boîte de dialogue.","codex.dialog.long.open":"Ouvrir une boîte de dialogue longue","codex.dialog.long.title":"Boîte de dialogue pour long contenu","codex.dialog.unstyled.body":"Cette histoire montre comment les appelants peuvent contrôler entièrement le style du contenu de la boîte de dialogue.","codex.dialog.unstyled.open":"Ouvrir la boîte de dialogue sans style","codex.dialog.unstyled.title":"Contenu sans style","codex.diff.openInEditorPrompt.openButton":"Ouvrir dans l’éditeur","codex.diff.openInEditorPrompt.singleLine":"Ce fichier est trop volumineux pour être affiché","codex.diffView.failedToDecodeBase64Diff":"Échec du décodage de la différence base64","codex.diffView.filesChanged":"{fileCount, plural, one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.diffView.imagePreviewAlt":"Prévisualisation de l’image","codex.diffView.imagePreviewEmpty":"Aucune image","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Aucune donnée différente","codex.diffView.pdfPreview.nextPage":"Page suivante","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Page précédente","codex.diffView.pdfPreviewEmpty":"Aucun aperçu en format PDF","codex.diffView.pdfPreviewError":"Impossible d’afficher l’aperçu en format PDF","codex.diffView.richPreviewDisable":"Désactiver l’aperçu enrichi","codex.diffView.richPreviewEnable":"Activer l’aperçu enrichi","codex.diffView.richPreviewLoading":"Chargement de l'aperçu...","codex.diffView.richPreviewToggle":"Activer/désactiver l’aperçu enrichi","codex.diffView.switchToUnified":"Passer à l’affichage unifié des différences","codex.environmentSelector.noEnvironment":"Aucun environnement","codex.environments.environmentSettings":"Paramètres de l’environnement","codex.environments.learnMore":"En savoir plus","codex.environments.listError":"Échec du chargement des environnements.","codex.environments.noEnvironmentsFound":"Aucun environnement trouvé","codex.environments.searchError":"Échec de la recherche d’environnements.","codex.errorBoundary.genericError":"Oups, une erreur s’est produite.","codex.errorBoundary.goHome":"Réessayer","codex.file.patch.missing":"Impossible de créer un correctif pour ce fichier.","codex.gallery.automations.cwdLabel":"Projets","codex.gallery.automations.nameLabel":"Nom","codex.gallery.automations.namePlaceholder":"Résumez une tâche","codex.gallery.automations.promptLabel":"Requête","codex.gallery.automations.promptPlaceholder":"Décrivez ce que Codex doit faire","codex.gallery.dialogs.automation.label":"Boîte de dialogue d’automatisation","codex.gallery.dialogs.basic.body":"Utilisez cette disposition pour les confirmations simples ou les formulaires courts.","codex.gallery.dialogs.basic.cancel":"Annuler","codex.gallery.dialogs.basic.confirm":"Confirmer","codex.gallery.dialogs.basic.label":"Boîte de dialogue de base","codex.gallery.dialogs.basic.title":"Exemple de boîte de dialogue","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Décrivez le problème","codex.gallery.dialogs.feedbackSubmission.bad":"Mauvais résultat","codex.gallery.dialogs.feedbackSubmission.bug":"Bogue","codex.gallery.dialogs.feedbackSubmission.good":"Bon résultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inclure les journaux de session Codex actuels","codex.gallery.dialogs.feedbackSubmission.label":"Envoi de commentaires","codex.gallery.dialogs.feedbackSubmission.other":"Autre","codex.gallery.dialogs.feedbackSubmission.placeholder":"Décrivez le problème ici","codex.gallery.dialogs.feedbackSubmission.submit":"Soumettre","codex.gallery.dialogs.feedbackSubmission.title":"Commentaire","codex.gallery.dialogs.feedbackSuccess.body":"Commentaire envoyé. Si le problème persiste, veuillez ouvrir un ticket GitHub ou mentionner l’ID du fil de discussion dans un ticket déjà ouvert :","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ignorer","codex.gallery.dialogs.feedbackSuccess.label":"Réussite des commentaires","codex.gallery.dialogs.feedbackSuccess.title":"Commentaire téléversé","codex.gallery.dialogs.gitApplyResults.applied":"Appliqués correctement (2)","codex.gallery.dialogs.gitApplyResults.close":"Fermer","codex.gallery.dialogs.gitApplyResults.conflicted":"En conflit (1)","codex.gallery.dialogs.gitApplyResults.label":"Appliquer les résultats","codex.gallery.dialogs.gitApplyResults.title":"Appliquer les résultats","codex.gallery.dialogs.gitPushError.body":"Récupérez les dernières modifications ou forcez la mise à jour si vous savez que l’historique distant peut être écrasé sans risque.","codex.gallery.dialogs.gitPushError.cancel":"Annuler","codex.gallery.dialogs.gitPushError.force":"Pousser forcé","codex.gallery.dialogs.gitPushError.label":"Erreur de pousser","codex.gallery.dialogs.gitPushError.subtitle":"Votre branche est derrière l’originale/la principale.","codex.gallery.dialogs.gitPushError.title":"Échec du pousser des modifications","codex.gallery.dialogs.gitRevert.cancel":"Annuler","codex.gallery.dialogs.gitRevert.confirm":"Récupérer","codex.gallery.dialogs.gitRevert.label":"Récupérer les modifications","codex.gallery.dialogs.gitRevert.skip":"Ne plus demander","codex.gallery.dialogs.gitRevert.subtitle":"Cette action supprime toutes ces modifications.","codex.gallery.dialogs.gitRevert.title":"Récupérer les modifications?","codex.gallery.dialogs.longForm.label":"Boîte de dialogue longue","codex.gallery.dialogs.proseModal.body":"Ce style modal est utilisé pour les instructions longues, l’intégration ou les blocs de contenu riche.","codex.gallery.dialogs.proseModal.close":"Fermer","codex.gallery.dialogs.proseModal.subtitle":"Partagez ici des conseils ou des documents plus longs.","codex.gallery.dialogs.proseModal.title":"Prose modale","codex.gallery.dialogs.submitBlocked.label":"Soumettre un exemple de boîte de dialogue bloquée","codex.gallery.dialogs.submitBlocked.message":"Votre message n’a pas pu être envoyé, car le projet n’est pas disponible.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Impossible d’envoyer le message","codex.gallery.dialogs.title":"Boîtes de dialogue","codex.gallery.dropdown.filterPlaceholder":"Filtrer les éléments","codex.gallery.dropdowns.actionRow":"Rangées d’action","codex.gallery.dropdowns.actionRow.disabled":"Action désactivée","codex.gallery.dropdowns.actionRow.primary":"Action principale","codex.gallery.dropdowns.actionRow.secondary":"Action secondaire","codex.gallery.dropdowns.actionRow.trigger":"Afficher les actions","codex.gallery.dropdowns.basic":"Menu déroulant de base","codex.gallery.dropdowns.basic.newFile":"Nouveau fichier","codex.gallery.dropdowns.basic.newFolder":"Nouveau dossier","codex.gallery.dropdowns.basic.openSettings":"Ouvrir les paramètres","codex.gallery.dropdowns.basic.title":"Actions rapides","codex.gallery.dropdowns.basic.trigger":"Ouvrir le menu","codex.gallery.dropdowns.basic.upload":"Téléverser","codex.gallery.dropdowns.panel":"Interface du panneau","codex.gallery.dropdowns.panel.apply":"Appliquer","codex.gallery.dropdowns.panel.body":"Vérifier les différences et les appliquer à votre projet.","codex.gallery.dropdowns.panel.preview":"Aperçu","codex.gallery.dropdowns.panel.title":"Appliquer les modifications","codex.gallery.dropdowns.panel.trigger":"Ouvrir le panneau","codex.gallery.dropdowns.search":"Menu déroulant avec fonction de recherche","codex.gallery.dropdowns.search.first":"Canal alpha","codex.gallery.dropdowns.search.second":"Branche bêta","codex.gallery.dropdowns.search.third":"Version candidate","codex.gallery.dropdowns.search.trigger":"Filtrer les éléments","codex.gallery.dropdowns.submenu":"Menu déroulant avec sous-menu","codex.gallery.dropdowns.submenu.optionA":"Projet alpha","codex.gallery.dropdowns.submenu.optionB":"Projet bêta","codex.gallery.dropdowns.submenu.optionC":"Projet gamma","codex.gallery.dropdowns.submenu.primary":"Attribuer un propriétaire","codex.gallery.dropdowns.submenu.secondary":"Déplacer vers","codex.gallery.dropdowns.submenu.tertiary":"Archiver","codex.gallery.dropdowns.submenu.trigger":"Choisir une action","codex.gallery.dropdowns.title":"Menus déroulants","codex.gallery.inbox.automations.close":"Fermer","codex.gallery.inbox.automations.popover.cardTitle":"Gérer les automatisations","codex.gallery.inbox.automations.popover.dialogTitle":"Gérer les automatisations","codex.header.settingsTooltip":"Paramètres","codex.hunk.patch.error":"Échec de la préparation","codex.hunk.patch.missing":"Impossible de créer un correctif pour ce bloc.","codex.hunk.patch.partialSuccess":"Réussite partielle","codex.hunk.patch.revertError":"Échec de l’annulation de la préparation","codex.hunk.patch.revertSuccess":"Annulation de la préparation réussie","codex.hunk.patch.success":"Préparation réussie","codex.legal.autonomy.details":"Pour plus d’informations, consultez le {link}","codex.legal.autonomy.details.link":"Documents Codex","codex.legal.autonomy.title":"Décidez du degré d’autonomie que vous souhaitez accorder","codex.legal.backButton":"Retour","codex.legal.cloud.taskOne.meta":"openai/agi · 12 oct.","codex.legal.cloud.taskOne.title":"Expliquez le référentiel à un nouveau concepteur","codex.legal.cloud.taskThree.meta":"openai/codex · 8 oct.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Créez un thème en mode sombre","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 oct.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Régler un bogue d’intégration","codex.legal.continue.apikey":"Continuer","codex.legal.continueButton":"Suivant","codex.legal.copilot.details":"Utilise votre plan Copilot pour tous les appels de modèle, la facturation et les limites de fréquence. L’utilisation de l’extension Codex est soumise à {oaiTos} et à {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Conditions d’utilisation de GitHub","codex.legal.copilot.oaiTosLink":"Conditions d’utilisation de Codex d’OpenAI","codex.legal.copilot.title":"Optimisé par GitHub Copilot","codex.legal.mistakes.review":"Vérifiez le code qu’il écrit et les commandes qu’il exécute","codex.legal.mistakes.title":"Codex peut faire des erreurs","codex.legal.powered.details":"Utilise les limites de fréquence de votre plan et {link}","codex.legal.powered.details.link":"préférences relatives aux données d’entraînement","codex.legal.powered.title":"Optimisé par votre compte ChatGPT","codex.legal.step.cloud.subtitle":"Envoyez des tâches à Codex pour qu’elles soient exécutées en arrière-plan afin de rester concentré(e) et d’avancer plus rapidement.","codex.legal.step.cloud.title":"Transférez vos tâches à Codex dans le nuage","codex.legal.step.intro.subtitle":"Codex peut parcourir, modifier, exécuter des commandes et effectuer des tests directement dans votre référentiel. Optimisé par votre compte ChatGPT.","codex.legal.step.intro.title":"Codex dans votre IDE","codex.legal.step.todo.subtitle":"Rédigez un commentaire sur une tâche à accomplir et convertissez-le en tâche Codex en un seul clic.","codex.legal.step.todo.title":"Transformez vos tâches à accomplir en tâches Codex","codex.legal.todo.heading":"// À faire : mettre en œuvre le schéma","codex.localConversation.closeImagePreview":"Fermer la prévisualisation de l’image","codex.localConversation.userImageAttachment":"Image jointe par l’utilisateur","codex.localTaskRow.archiveTask":"Archiver le flux","codex.localTaskRow.awaitingApproval":"Approbation en attente","codex.localTaskRow.awaitingResponse":"En attente de réponse","codex.localTaskRow.confirmArchiveTask":"Confirmer","codex.loggedOut.apiKeyPrompt.cancel":"Annuler","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Obtenir la clé d’API","codex.loggedOut.apiKeyPrompt.inputLabel":"Entrez votre clé d’API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tâches dans le nuage désactivées avec la clé d’API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tâches dans le nuage désactivées avec Copilot et la clé d’API","codex.loggedOut.signIn":"Connexion avec ChatGPT","codex.loggedOut.signIn.cancel":"Annuler l’ouverture de session","codex.loggedOut.signInWithCopilot":"Connexion avec GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Utiliser la clé d’API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"MCP {server} outil {tool}","codex.mcpTool.collapsedLabel.verb.called":"Appelé","codex.mcpTool.collapsedLabel.verb.calling":"En appel","codex.mcpTool.embeddedResource.contentLabel":"Contenu","codex.mcpTool.embeddedResource.mimeTypeLabel":"Type MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"L’outil n’a renvoyé aucun contenu.","codex.mcpTool.rawPayloadHeading":"Charge utile brute de l’appel à l’outil MCP {server} {tool}","codex.menu.recent":"Récent","codex.menu.seeAllHistory":"Afficher tout l’historique","codex.modelCapacityBanner.headline.noReset":"{modelName} est saturé actuellement. Réessayez plus tard ou démarrez une nouvelle conversation avec un autre modèle.","codex.modelCapacityBanner.headline.withReset":"{modelName} est saturé actuellement. Réessayez après {resetDate} ou démarrez une nouvelle conversation avec un autre modèle.","codex.modelCapacityBanner.title":"Le modèle sélectionné est saturé","codex.patch.change.contentsDeleted":"Contenu supprimé","codex.patch.change.created":"Créé","codex.patch.change.created-file":"Fichier créé","codex.patch.change.creating":"Création en cours","codex.patch.change.deleted":"Supprimé","codex.patch.change.deleted-file":"Fichier supprimé","codex.patch.change.deleting":"Suppression en cours","codex.patch.change.edited":"Modifié","codex.patch.change.edited-file":"Fichier modifié","codex.patch.change.editing":"Modification","codex.patch.change.noChanges":"Aucune modification","codex.patch.change.rejected-add":"Rejeté","codex.patch.change.rejected-delete":"Rejeté","codex.patch.change.rejected-edit":"Rejeté","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} sur {total} tâches terminées","codex.plan.todoListCreated":"Liste de tâches créée avec {total} tâches","codex.profileDropdown.apiKeyAuth":"Session ouverte avec une clé d’API","codex.profileDropdown.codexSettings":"Paramètres de Codex","codex.profileDropdown.copilotAuth":"Session ouverte avec Copilot","codex.profileDropdown.defaultAccountTitle":"Compte par défaut","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Entrée pour envoyer de longues requêtes","codex.profileDropdown.enterBehaviorError":"Échec de la mise à jour du paramètre","codex.profileDropdown.getPlus":"Faites une mise à niveau pour bénéficier de limites plus élevées","codex.profileDropdown.keyboardShortcuts":"Raccourcis-clavier","codex.profileDropdown.language":"Langue","codex.profileDropdown.languageDefault":"Détection automatique","codex.profileDropdown.languageSearchPlaceholder":"Recherche de langues","codex.profileDropdown.languageUpdateError":"Échec de la mise à jour de la langue","codex.profileDropdown.logOut":"Fermer la session","codex.profileDropdown.mcp":"Paramètres MCP","codex.profileDropdown.openConfigToml":"Ouvrir config.toml","codex.profileDropdown.openConfigToml.wsl":"Ouvrir config.toml dans l’environnement WSL","codex.profileDropdown.openExtensionSettings":"Ouvrir les paramètres","codex.profileDropdown.openMcpSettings":"Ouvrir les paramètres MCP","codex.profileDropdown.openOnStartup":"Ouvrir au démarrage","codex.profileDropdown.openOnStartupError":"Échec de la mise à jour du paramètre","codex.profileDropdown.openSkillsSettings":"Ouvrir les paramètres des compétences","codex.profileDropdown.personalAccountTitle":"Compte personnel","codex.profileDropdown.queueFollowUps":"Suivi des files d'attente","codex.profileDropdown.queueFollowUpsError":"Échec de la mise à jour du paramètre","codex.profileDropdown.readDocs":"Lire les documents","codex.profileDropdown.readSkillsDocs":"Lire les documents","codex.profileDropdown.runInWsl":"Exécuter dans WSL","codex.profileDropdown.runInWslError":"Échec de la mise à jour du paramètre","codex.profileDropdown.runInWslTooltip":"Exécute Codex dans WSL. Recommandé pour une sécurité améliorée du bac à sable et de meilleures performances.","codex.profileDropdown.settings":"Paramètres IDE","codex.profileDropdown.settingsPage":"Paramètres","codex.profileDropdown.signInWithOpenAI":"Connexion avec ChatGPT","codex.profileDropdown.skills":"Paramètres des compétences","codex.profileDropdown.switchToCopilotAccount":"Utiliser le compte Copilot","codex.profileDropdown.switchToOpenAIAccount":"Utiliser le compte OpenAI","codex.profileDropdown.todoCodelens":"Régler des commentaires sur une tâche à accomplir","codex.profileDropdown.todoCodelensError":"Échec de la mise à jour du paramètre","codex.profileDropdown.windowsDocumentation":"Documentation Windows","codex.profileFooter.signedInFallback":"Paramètres","codex.profileFooter.upgrade":"Mettre à niveau","codex.recentTasksMenu.clearSearch":"Effacer la recherche","codex.recentTasksMenu.cloud":"Tâches dans le nuage","codex.recentTasksMenu.count":"{count, plural, =0 {Aucune tâche en cours} one {# tâches en cours} many {# tâches en cours} other {# tâches en cours}}","codex.recentTasksMenu.empty":"Aucun fil pour le moment","codex.recentTasksMenu.errorCloud":"Échec du chargement des tâches.","codex.recentTasksMenu.errorCloud.inline":"Échec du chargements des tâches dans le nuage.","codex.recentTasksMenu.filterAll":"Tout","codex.recentTasksMenu.filterCloudTasks":"Filtrer les tâches dans le nuage","codex.recentTasksMenu.filterTooltip":"Filtrer les tâches par environnement","codex.recentTasksMenu.local":"Tâches locales","codex.recentTasksMenu.recent":"Toutes les tâches","codex.recentTasksMenu.search":"Rechercher les tâches récentes","codex.recentTasksMenu.searchEmpty":"Aucun résultat","codex.recentTasksMenu.tooltip":"Historique des tâches","codex.recentTasksMenu.trigger":"Tâches récentes. {count, plural, one {# en cours de traitement} many {# en cours de traitement} other {# en cours de traitement}}","codex.remoteConversation.applyDiff.applyCta":"Appliquer les modifications","codex.remoteConversation.applyDiff.dropdownTitle":"Appliquer les modifications à une branche locale","codex.remoteConversation.applyDiff.revertCta":"Récupérer les modifications","codex.remoteConversation.closeImagePreview":"Fermer la prévisualisation de l’image","codex.remoteConversation.codexCloudTask":"Vous consultez une tâche <u>Codex Cloud</u>","codex.remoteConversation.errorWithMessage":"Erreur : {message}","codex.remoteConversation.loadingImage":"Chargement de l’image en cours","codex.remoteConversation.openInWeb":"Ouvrir sur le Web","codex.remoteConversation.streaming":"Démarrage","codex.remoteConversation.turnFailed":"Une erreur s’est produite lors de l’exécution de cette tâche.","codex.remoteConversation.turnTab.loading":"Tentative {number}","codex.remoteConversation.turnTab.title":"Tentative {number}","codex.remoteConversation.userImageAttachment":"Image jointe par l’utilisateur","codex.remoteConversation.viewPreviousTurns":"Ouvrir sur le Web","codex.remoteConversation.viewPreviousTurns.buttonText":"Ouvrir","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Ouvrir sur le Web","codex.review.copyGitApplyCommand":"Copier la commande git apply","codex.review.copyGitApplyCommand.toast":"La commande git apply a été copiée dans le presse-papiers.","codex.review.diffTooLarge.description":"Cette diff est trop volumineuse pour être affichée dans Vérification.","codex.review.diffTooLarge.title":"Cette différence est trop volumineuse pour être affichée","codex.review.expandOrCollapseDiffButton.collapse":"Réduire toutes les différences","codex.review.expandOrCollapseDiffButton.expand":"Développer toutes les différences","codex.review.expandOrCollapseDiffMenu.collapse":"Réduire toutes les différences","codex.review.expandOrCollapseDiffMenu.expand":"Développer toutes les différences","codex.review.fileSearch.clear":"Effacer le filtre de fichiers","codex.review.fileSearch.empty":"Aucun fichier ne correspond au filtre actuel.","codex.review.fileSearch.label":"Filtrer les fichiers","codex.review.fileSearch.placeholder":"Filtrer les fichiers...","codex.review.filesChanged":"{num, plural, =0 {Aucun fichier modifié} one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.review.find.loadMore":"Charger d’autres correspondances","codex.review.fullReview.hideFileTree":"Masquer l’arborescence des fichiers","codex.review.fullReview.showFileTree":"Afficher l’arborescence des fichiers","codex.review.header.moreOptions":"Options de vérification","codex.review.largeDiff.banner":"Différence importante détectée; affichage d'un seul fichier à la fois.","codex.review.loadFullFiles.disable":"Ne pas charger les fichiers complets","codex.review.loadFullFiles.enable":"Charger les fichiers complets","codex.review.noDiff":"Les modifications de fichiers seront affichées ici","codex.review.noDiff.gitInit.createRepository":"Créer un référentiel git","codex.review.noDiff.gitInit.creating":"Création en cours...","codex.review.noDiff.gitInit.error":"Échec de l’initialisation git : {message}","codex.review.noDiff.gitInit.success":"Référentiel git créé","codex.review.noDiff.gitRepoRequired.description":"Suivre et annuler les modifications dans ce projet","codex.review.noDiff.gitRepoRequired.title":"Créer un référentiel git","codex.review.noDiff.orNoLongerAvailable":"ou les dernières différences ne sont plus disponibles","codex.review.noDiff.reverted":"La dernière opération a été annulée","codex.review.noDiff.revertedOrCommitted":"La dernière opération a été annulée ou validée","codex.review.refreshGitQueries":"Actualiser","codex.review.revert.file.error":"Échec de la récupération de {path}","codex.review.revert.file.partialSuccess":"Récupération partielle de {path}","codex.review.revert.file.success":"Récupération de {path}","codex.review.revert.hunk.error":"Échec de la récupération du bloc {hunkNumber} dans {path}","codex.review.revert.hunk.partialSuccess":"Récupération partielle du bloc {hunkNumber} dans {path}","codex.review.revert.hunk.success":"Récupération du bloc {hunkNumber} dans {path}","codex.review.revert.section.error":"Échec de la récupération de la section","codex.review.revert.section.partialSuccess":"Récupération partielle de la section","codex.review.revert.section.success":"Section récupérée","codex.review.revertDialog.cancel":"Annuler","codex.review.revertDialog.confirm":"Confirmer","codex.review.revertDialog.message":"Cette action supprime toutes ces modifications.","codex.review.revertDialog.skip":"Ne plus demander","codex.review.revertDialog.title":"Récupérer les modifications?","codex.review.richPreview.disable":"Désactiver l’aperçu enrichi","codex.review.richPreview.enable":"Activer l’aperçu enrichi","codex.review.source.cloud":"Modifications apportées au nuage","codex.review.source.local.all":"Toutes les modifications apportées aux branches","codex.review.source.local.lastTurn":"Dernières modifications apportées à l’échange","codex.review.source.local.uncommitted":"Modifications non validées","codex.review.source.worktree":"Modifications de l’arborescence de travail non validées","codex.review.stageFilter.empty.staged.description":"Accepter les modifications pour les indexer","codex.review.stageFilter.empty.staged.title":"Aucune modification indexée","codex.review.stageFilter.empty.unstaged.description":"Les modifications de code apparaîtront ici","codex.review.stageFilter.empty.unstaged.title":"Aucune modification non indexée","codex.review.stageFilter.staged":"Préparés","codex.review.stageFilter.staged.count":"Préparés · {count}","codex.review.stageFilter.unstaged":"Non préparés","codex.review.stageFilter.unstaged.count":"Non préparés · {count}","codex.review.switchToSplit":"Passer à l’affichage divisé des différences","codex.review.switchToUnified":"Passer à l’affichage unifié des différences","codex.review.toggleDiffView":"Basculer vers la vue des différences","codex.review.wordDiffs.disable":"Désactiver les différences de mots","codex.review.wordDiffs.enable":"Activer les différences de mots","codex.review.wrap.disable":"Désactiver le retour à la ligne","codex.review.wrap.enable":"Activer le retour à la ligne","codex.section.patch.missing":"Impossible de créer un correctif pour cette section.","codex.shell.collapse":"Réduire l’interface de commande","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Contenu de l’interface de commande copié","codex.shell.copy.copyTooltip":"Copier le contenu de l’interface de commande","codex.shell.copyCommand":"Copier la commande","codex.shell.copyOutput":"Copier la sortie","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"Développer l’interface de commande","codex.shell.name":"Shell","codex.shell.noOutput":"Aucun résultat","codex.signInFailed.message":"Échec de connexion : {rawMessage}","codex.stories.toast.show":"Afficher un message transitoire","codex.stories.tooltip.basic":"Il s’agit d’une infobulle","codex.stories.tooltip.hoverMe":"Survolez-moi","codex.stories.tooltip.largerOffset":"Cette infobulle a un décalage plus important.","codex.stories.tooltip.offsetButton":"Décalage plus important","codex.stories.tooltip.shortcutButton":"Avec un raccourci","codex.stories.tooltip.withShortcut":"Activer/désactiver le terminal","codex.taskRow.title":"Nouveau fil","codex.taskRowLayout.confirm":"Confirmer","codex.threadFindBar.chatFilter":"Rechercher le clavardage","codex.threadFindBar.close":"Fermer la barre de recherche","codex.threadFindBar.diffFilter":"Rechercher dans les différences","codex.threadFindBar.label":"Rechercher dans le fil","codex.threadFindBar.nextResult":"Prochain résultat","codex.threadFindBar.noResults":"0 résultat","codex.threadFindBar.placeholder":"Rechercher dans le fil...","codex.threadFindBar.placeholder.extension":"Rechercher dans le fil...","codex.threadFindBar.placeholder.review":"Rechercher les différences...","codex.threadFindBar.placeholder.review.extension":"Rechercher les différences...","codex.threadFindBar.previousResult":"Résultat précédent","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.unifiedDiff.inlineLargeFile":"Trop volumineuse pour être rendue en ligne","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Annuler","codex.unifiedDiff.revertPatchError":"Échec de la récupération des modifications","codex.unifiedDiff.revertPatchSuccess":"Modifications récupérées","codex.unifiedDiff.reviewChangesSuffix":"modifications","codex.unifiedDiff.reviewShort":"Vérifier","codex.unifiedDiff.viewDiffTooltip":"Vérifier","codex.upsellBanner.business.headline":"Pour obtenir immédiatement un accès accru, envoyez une demande à votre administrateur ou attendez jusqu’à {resetDate}.","codex.upsellBanner.cbp.headline":"Pour obtenir immédiatement un accès accru, envoyez une demande à votre administrateur.","codex.upsellBanner.cta.addCredits":"Ajouter des crédits","codex.upsellBanner.cta.upgradeAccount":"Mettre à niveau","codex.upsellBanner.cta.viewUsage":"Consulter l’utilisation","codex.upsellBanner.free.trialHeadline":"Votre limite de fréquence sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex et obtenir l’accès à GPT-5.3-Codex, commencez votre essai gratuit de Plus dès aujourd’hui.","codex.upsellBanner.freeOrGo.headline":"Votre limite de fréquence sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, passez au plan Plus dès aujourd’hui.","codex.upsellBanner.general.headline":"Votre limite de fréquence sera réinitialisée le {resetDate}.","codex.upsellBanner.general.title":"Vous n’avez plus de messages Codex","codex.upsellBanner.go.trialHeadline":"Votre limite de fréquence sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, commencez votre essai gratuit de Plus dès aujourd’hui.","codex.upsellBanner.plus.headline":"Votre limite de fréquence sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, ajoutez des crédits ou passez au plan Pro dès aujourd’hui.","codex.upsellBanner.pro.headline":"Votre limite de fréquence sera réinitialisée le {resetDate}. Ajoutez des crédits pour continuer à utiliser Codex maintenant.","codex.userMessage.autoResolveSync":"Résolution automatique des conflits","codex.userMessage.commentCount":"{count, plural, one {# commentaire} many {# commentaires} other {# commentaires}}","codex.userMessage.copiedAriaLabel":"Copié","codex.userMessage.copiedTooltip":"Copié","codex.userMessage.copyAriaLabel":"Copier le message","codex.userMessage.copyTooltip":"Copier","codex.userMessage.implementPlan":"Mettre en œuvre le plan","codex.userMessage.noContent":"(Sans contenu)","codex.userMessage.priorConversation":"Référence la conversation précédente","codex.userMessage.reviewMode":"Mode de vérification","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"pour {query}","codex.webSearch.summary.verb.completed":"Recherche effectuée sur le Web","codex.webSearch.summary.verb.inProgress":"Recherche sur le Web","codex.windowsInstallWslBanner.dismiss":"Ignorer","codex.windowsInstallWslBanner.installWslCta":"Activer le bac à sable","codex.windowsInstallWslBanner.learnMore":"En savoir plus","codex.windowsSandboxBanner.content":"Le mode agent utilise un bac à sable expérimental dans Windows afin de limiter l’accès au système de fichiers et au réseau. {sandboxLink}","codex.windowsSandboxBanner.title":"Activer le bac à sable pour le mode agent","codex.windowsSubDropdown.windowsSandbox":"Bac à sable Windows","codex.windowsSubDropdown.windowsSettings":"Paramètres Windows","codexUpgradeModal.body":"Notre dernier modèle de codage agentique : plus intelligent, plus rapide et plus performant pour les tâches techniques générales. {link}","codexUpgradeModal.close":"Fermer","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"En savoir plus","codexUpgradeModal.title":"Présentation de GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Essayez GPT-5.3-Codex dès maintenant","codexUpgradeModal.useExistingModel":"Continuer avec le modèle actuel","commentAttachments.numComments":"{count, plural, one {# commentaire} many {# commentaires} other {# commentaires}}","commentAttachments.removeAriaLabel":"Retirer la pièce jointe des commentaires","common.close":"Fermer","composer.addContext.openFilePickerError":"Impossible d’ouvrir le sélecteur de fichiers","composer.addContextDropdown.ariaLabel":"Ajouter des fichiers et plus encore","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Ajouter des fichiers et plus encore","composer.addPhotosAndFiles":"Ajouter des photos et des fichiers","composer.atMentionList.emptyQuery":"Taper pour rechercher des fichiers","composer.atMentionList.loading":"Recherche en cours…","composer.atMentionList.noResults":"Aucun résultat","composer.attemptsSelector.option":"{count, plural, one {# version} many {# versions} other {# versions}}","composer.attemptsSelector.tooltip":"Nombre de tentatives parallèles que Codex doit effectuer","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Arrêter","composer.cloudFollowUp.cloud":"Nuage","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"Où cette tâche de suivi doit-elle s’exécuter?","composer.cloudTaskCreationError":"Une erreur s’est produite lors de la création d’une tâche dans le nuage","composer.cloudTaskError":"Erreur lors de la création de la tâche","composer.contextWindow.autoCompactionTooltipLine1":"Codex compresse automatiquement son contexte","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Fenêtre de contexte :","composer.contextWindowUsageStatusFull":"{usage} % pleine","composer.contextWindowUsageStatusLeft":"{usage} % utilisé ({remaining} % restant)","composer.contextWindowUsageTooltip":"{usedTokens} k/{contextWindow} k tokens utilisés","composer.customCliTooltip":"Utilisation d’une ligne de commande exécutable personnalisée","composer.dictation.aria":"Dicter","composer.dictation.cancel.aria":"Arrêter la dictée","composer.dictation.cancel.tooltip":"Arrêter la dictée","composer.dictation.startError":"Impossible de démarrer la dictée","composer.dictation.submit.aria":"Transcrire et envoyer","composer.dictation.submit.tooltip":"Transcrire et envoyer","composer.dictation.tooltip":"Maintenir enfoncé pour dicter","composer.dictation.transcribeError":"Impossible de transcrire l’audio","composer.dictation.unsupported":"La dictée n’est pas disponible sur cet appareil","composer.dropOverlay.holdShift":"Maintenez {key} enfoncé pour déposer","composer.dropOverlay.shiftKey":"Majuscule","composer.environmentSelector.createNew":"Créer un nouvel","composer.environmentSelector.error":"Erreur de chargement des environnements","composer.environmentSelector.goBack":"Retour au compositeur","composer.environmentSelector.title":"Sélectionner un environnement","composer.environmentSelector.tooltip":"Sélectionner un environnement infonuagique","composer.feedbackSlashCommand.title":"Commentaire","composer.filePicker.selectFile":"Sélectionner un fichier","composer.filePicker.selectFiles":"Sélectionner des fichiers","composer.followerTooltip":"Pour continuer, revenez à la fenêtre où cette conversation a commencé.","composer.footer.branchSwitch.checkoutError":"Échec du changement de branche : {message}","composer.footer.branchSwitch.createAndCheckout":"Créer et extraire une nouvelle branche...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Valider les modifications pour créer et extraire une nouvelle branche","composer.footer.branchSwitch.createBranchError":"Échec de la création de la branche : {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nom de la branche","composer.footer.branchSwitch.createDialog.branchExistsError":"Cette branche existe déjà.","composer.footer.branchSwitch.createDialog.close":"Fermer","composer.footer.branchSwitch.createDialog.createAndCheckout":"Créer et extraire","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Créer et extraire une branche","composer.footer.branchSwitch.createDialog.trailingSlashError":"Le nom de la branche ne peut pas se terminer par « / ».","composer.footer.branchSwitch.tooltip":"Changer de branche","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Validez les modifications dans {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}} pour extraire {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"modifications dans {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}} pour extraire {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Annuler","composer.footer.branchSwitch.uncommittedDialog.commit":"Valider et changer de branche...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Vos modifications apportées aux fichiers suivants seront écrasées lors de l’extraction :","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Veuillez valider vos modifications pour continuer","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"la branche sélectionnée","composer.footer.branchSwitch.uncommittedDialog.title":"Valider les modifications pour changer de branche","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Non validée : {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}}","composer.forkSlashCommand.description":"Dupliquer ce fil dans un répertoire local ou une nouvelle arborescence de travail","composer.forkSlashCommand.option.local.description":"Continuer dans un nouveau fil local","composer.forkSlashCommand.option.local.title":"Dupliquer dans un répertoire local","composer.forkSlashCommand.option.worktree.description":"Continuer dans une nouvelle arborescence de travail","composer.forkSlashCommand.option.worktree.title":"Dupliquer dans une nouvelle arborescence de travail","composer.forkSlashCommand.title":"Dupliquer","composer.ideContextIndicator":"Contexte IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Inclure de contexte à partir d’IDE","composer.ideContextIndicator.tooltipToggle":"pour basculer","composer.ideContextSlashCommand.disableDescription":"Désactiver le contexte IDE","composer.ideContextSlashCommand.enableDescription":"Inclure la sélection actuelle, les fichiers ouverts et d’autres éléments contextuels de votre IDE","composer.ideContextSlashCommand.title":"Contexte IDE","composer.imageInputsUnsupported":"Ce modèle ne prend pas en charge les entrées d’images. Essayez un autre modèle.","composer.imageUploadFailed":"Échec du téléversement de l’image","composer.includeIdeContextDropdown":"Inclure le contexte IDE","composer.includeIdeContextDropdown.ariaLabel":"Inclure le contexte IDE","composer.localCwdDropdown.addWorkspaceRoot":"Ajouter un nouveau projet","composer.localCwdDropdown.noActiveRoot":"Sélectionnez votre projet","composer.localCwdDropdown.noResults":"Aucun dossier trouvé","composer.localCwdDropdown.title":"Sélectionnez votre projet","composer.localTaskError":"Erreur lors du démarrage de la conversation","composer.mcpSlashCommand.description":"Afficher l’état du serveur MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Non authentifié","composer.mcpStatus.authOauth":"Authentifié (OAuth)","composer.mcpStatus.authToken":"Authentifié (clé d’API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Fermer","composer.mcpStatus.disabled":"Désactivé","composer.mcpStatus.emptyLabel":"Serveurs :","composer.mcpStatus.emptyValue":"Aucun serveur MCP configuré","composer.mcpStatus.enabled":"Activé","composer.mcpStatus.errorLabel":"État :","composer.mcpStatus.errorValue":"Impossible de charger l’état MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Changer de mode","composer.mode.agentMode.custom":"Personnalisé","composer.mode.agentMode.custom.dropdownLabel":"Personnalisé","composer.mode.agentMode.custom.option":"Personnalisé (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personnalisé (config.toml)","composer.mode.agentMode.customInfo.cancel":"Annuler","composer.mode.agentMode.customInfo.cli":"Vous pouvez régler ces paramètres à partir de la ligne de commande ou en modifiant directement le fichier.","composer.mode.agentMode.customInfo.confirm":"Utilisez le mode personnalisé","composer.mode.agentMode.customInfo.description":"Le mode personnalisé applique les politiques d’approbation et de bac à sable définies dans votre <link>fichier</link> config.toml.","composer.mode.agentMode.customInfo.docs":"Pour en savoir plus sur la configuration des politiques d’approbation et de bac à sable, consultez la <link>documentation relative à l’environnement d’exécution</link>.","composer.mode.agentMode.customInfo.refresh":"Toute modification prend effet lors de la prochaine exécution de l’agent.","composer.mode.agentMode.customInfo.title":"Fonctionnement du mode personnalisé","composer.mode.agentMode.fullAccess":"Agent (accès complet)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (accès complet)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (accès complet)","composer.mode.agentMode.fullAccessConfirm.caution":"Faites preuve de prudence lorsque vous activez l’accès complet. Cela augmente considérablement le risque de perte de données, de fuites ou de comportements inattendus.","composer.mode.agentMode.fullAccessConfirm.confirm":"Oui, continuer quand même","composer.mode.agentMode.fullAccessConfirm.description":"Lorsque Codex s’exécute avec un accès complet, il peut modifier n’importe quel fichier sur votre ordinateur et exécuter des commandes sur le réseau sans votre autorisation.","composer.mode.agentMode.fullAccessConfirm.goBack":"Annuler","composer.mode.agentMode.fullAccessConfirm.title":"Activer l’accès complet?","composer.mode.agentMode.readOnly":"Clavardage","composer.mode.agentMode.readOnly.dropdownLabel":"Clavardage","composer.mode.agentMode.readOnly.optionLabel":"Clavardage","composer.mode.agentMode.tooltip":"Changer de mode","composer.mode.agentMode.tooltip.auto":"Lisez et modifiez des fichiers, et exécutez des commandes.","composer.mode.agentMode.tooltip.custom":"Utilisez les dernières politiques d’approbation et de bac à sable définies dans config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex peut modifier des fichiers en dehors de ce projet et exécuter des commandes avec un accès réseau. Faites preuve de prudence lors de son utilisation.","composer.mode.agentMode.tooltip.readOnly":"Nécessite une approbation pour modifier des fichiers et exécuter des commandes.","composer.mode.cloud.tooltip":"Travailler dans un environnement infonuagique","composer.mode.contactAdmin":"Pour obtenir davantage d’accès, contactez votre administrateur.","composer.mode.local":"Local","composer.mode.local.learnMore":"En savoir plus","composer.mode.local.model.custom":"Personnalisé","composer.mode.local.model.loadingModel":"Chargement du modèle en cours...","composer.mode.local.model.selecrReasoningEffort":"Sélectionner le raisonnement","composer.mode.local.model.selectModel":"Sélectionner le modèle","composer.mode.local.model.tooltip":"Choisir le modèle","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Élevé","composer.mode.local.reasoning.low.label":"Bas","composer.mode.local.reasoning.medium.label":"Moyen","composer.mode.local.reasoning.minimal.label":"Réflexion minimale","composer.mode.local.reasoning.none.label":"Aucun","composer.mode.local.reasoning.xhigh.label":"Très approfondi","composer.mode.localRemoteWhereRun":"Sélectionner l’endroit où exécuter la tâche","composer.mode.newTask.header":"Continuer dans","composer.mode.rateLimit.day":"{days} j","composer.mode.rateLimit.heading":"Limites de fréquences restantes","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"limite de {modelName} :","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {limite hebdomadaire} many {{weeks} limite hebdomadaire} other {{weeks} limite hebdomadaire}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Chaque semaine} many {{weeks} semaines} other {{weeks} semaines}}","composer.mode.remote.connectToCloud":"Connecter Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Configurer un environnement via Codex Web pour permettre l’envoi de tâches vers le nuage","composer.mode.remote.selectEnvironment":"Sélectionner un environnement","composer.mode.remote.sendToCloud":"Envoyer vers le nuage","composer.mode.remote.setupViaWeb":"Configurer un environnement via Codex Web","composer.mode.runInCloud":"Nuage","composer.mode.runInCloudWithEnvironment":"Nuage · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Travaillez dans un environnement infonuagique","composer.mode.segmentedToggle.local.tooltip":"Travaillez dans votre projet local","composer.mode.segmentedToggle.worktree.tooltip":"Travaillez dans une arborescence de travail parallèle","composer.mode.upgradeToPlus":"Passer au plan Plus","composer.mode.upgradeToPro":"Passer au plan Pro","composer.mode.workLocally":"Projet local","composer.mode.workLocally.currentBranchFallback":"votre branche","composer.mode.workLocally.tooltip":"Travaillez sur {branchName}","composer.mode.worktree":"Nouvelle arborescence de travail","composer.mode.worktree.submoduleWarning":"Ce référentiel contient des sous-modules git. La création de l’arborescence de travail peut échouer.","composer.mode.worktree.tooltip":"Créez une copie de votre projet local pour travailler en parallèle.","composer.mode.worktreeSegment":"Arborescence de travail","composer.modelChangeDuringConversationWarning.toast":"Changer de modèle en cours de conversation dégradera la performance.","composer.newChat.heading.browser":"Que devrions-nous coder maintenant?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex utilise les autorisations définies dans config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex dispose d’un accès complet à votre ordinateur (risque élevé).","composer.permissionsDropdown.custom.label":"Personnalisé (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personnalisé (config.toml)","composer.permissionsDropdown.default.label":"Autorisations par défaut","composer.permissionsDropdown.default.optionLabel":"Autorisations par défaut","composer.permissionsDropdown.default.tooltip":"Codex exécute automatiquement les commandes dans un bac à sable.","composer.permissionsDropdown.disabled.requirements":"Les autorisations sont verrouillées par requirements.toml.","composer.permissionsDropdown.fullAccess.disabled":"L’accès complet a été désactivé par requirements.toml","composer.permissionsDropdown.fullAccess.label":"Accès complet","composer.permissionsDropdown.fullAccess.optionLabel":"Accès complet","composer.permissionsDropdown.trigger.tooltip":"Modifier les autorisations","composer.personalitySlashCommand.description.friendly":"Convivial, collaboratif et utile","composer.personalitySlashCommand.description.pragmatic":"Concis, axé sur les tâches et direct","composer.personalitySlashCommand.label.friendly":"Amical","composer.personalitySlashCommand.label.pragmatic":"Pragmatique","composer.personalitySlashCommand.notApplicableSuffix":"(Ne s’applique pas au modèle actuel)","composer.personalitySlashCommand.title":"Personnalité","composer.placeholder.cloudFollowUp.directFollowUp":"Suivi de cette tâche dans le nuage","composer.placeholder.cloudFollowUp.local":"Créer une nouvelle tâche locale qui fait référence à cette tâche dans le nuage.","composer.placeholder.cloudFollowUp.workingTree":"Créez une nouvelle tâche dans le nuage qui inclut votre code actuel et qui fera référence à cette tâche.","composer.placeholder.localFollowUp.cloud":"Assurer le suivi dans une nouvelle tâche dans le nuage","composer.placeholder.localFollowUp.locally":"Demander des modifications de suivi","composer.placeholder.newTask.cloud":"Demandez à Codex de faire quelque chose dans le nuage","composer.placeholder.newTask.doAnything":"Demandez à Codex de faire quelque chose","composer.placeholder.newTask.locally":"Demandez n’importe quoi à Codex, utilisez @ pour ajouter des fichiers, / pour les commandes","composer.planModeDropdown":"Mode plan","composer.planModeDropdown.ariaLabel":"Mode plan","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Créer un plan avec Codex","composer.planModeIndicator.tooltipToggle":"pour basculer","composer.planSlashCommand.disableDescription":"Désactiver le mode plan","composer.planSlashCommand.enableDescription":"Activer le mode plan","composer.planSlashCommand.title":"Mode plan","composer.priorContext.label":"Contexte précédent","composer.priorContext.removeAriaLabel":"Retirer le contexte précédent","composer.queuedMessage.delete":"Supprimer le message en attente","composer.queuedMessage.edit":"Modifier le message","composer.queuedMessage.more":"Actions sur les messages en attente","composer.queuedMessage.sendNow":"Diriger","composer.queuedMessage.sendNowTooltip":"Envoyer maintenant sans interrompre le travail","composer.queuedMessage.turnOff":"Désactiver la mise en file d’attente","composer.reasoningEffort.local.reasoning.tooltip":"Sélectionner la démarche de raisonnement","composer.remote.branchStartingPoint":"À partir de quelle branche la tâche doit-elle démarrer?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Créer une nouvelle tâche qui fait référence à cette tâche dans le nuage.","composer.remote.currentEditsSuffix.useLocal":"avec des modifications du code local","composer.remote.directFollowUp":"Ne pas utiliser les modifications locales","composer.remote.errorLoadingBranches":"Erreur de chargement des branches","composer.remote.fromBranch":"De {branch}","composer.remote.fromCurrentBranch":"De {branch} (actuelle)","composer.remote.loadingMoreBranches":"Chargement en cours…","composer.remote.localFileStateHeading":"État du fichier local","composer.remote.localWorkingTree":"Utiliser les modifications locales","composer.remote.startingPoint":"À partir de quel code la tâche doit-elle démarrer?","composer.reviewMode.branches.error":"Impossible de charger les branches","composer.reviewMode.branches.retry":"Réessayer","composer.reviewMode.gitRoot.error":"Racine Git introuvable","composer.reviewMode.option.baseBranch.simple":"Vérification en fonction d’une branche de base","composer.reviewMode.option.unstaged.simple":"Vérification des modifications non validées","composer.reviewMode.quickReviewError":"Échec du démarrage de la vérification du code.","composer.reviewMode.title":"Vérifier le code","composer.sandboxButton.unlock.disabled.tooltip":"L’accès complet a été désactivé par requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codez peut utiliser un bac à sable expérimental dans Windows afin de limiter l’accès au système de fichiers et au réseau. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Activer le bac à sable Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Utiliser la lecture seule","composer.searchEnvironments":"Recherche d’environnements","composer.skillMentionList.app":"Appli","composer.skillMentionList.loading":"Chargement des compétences en cours...","composer.skillMentionList.noResults":"Aucune compétence trouvée","composer.slashCommands.cloudEnvironment.title":"Environnement infonuagique","composer.slashCommands.dialogLabel":"Menu des commandes à barre oblique","composer.slashCommands.dialogTitle":"Commandes à barre oblique","composer.slashCommands.disabledTooltip":"Commencez une nouvelle conversation pour utiliser les commandes à barre oblique","composer.slashCommands.inputPlaceholder":"Rechercher","composer.slashCommands.noResults":"Aucune commande","composer.slashCommands.skillsGroup":"Compétences","composer.slashCommands.tooltip":"Parcourir les commandes à barre oblique","composer.status.close":"Fermer","composer.statusPlain.alertLabel":"Alerte :","composer.statusPlain.alertValue":"{remaining} % restant sur {window}","composer.statusPlain.contextLabel":"Contexte :","composer.statusPlain.contextTotal":"{count} K","composer.statusPlain.contextValueMetadata":"({used} utilisé/{total})","composer.statusPlain.contextValueRemaining":"{remaining} % restant","composer.statusPlain.heading":"État","composer.statusPlain.modelRateLimitSectionLabel":"limite de {modelName} :","composer.statusPlain.rateLimitDays":"Limite de {count} j","composer.statusPlain.rateLimitFallbackLabel":"Limite de fréquence :","composer.statusPlain.rateLimitHours":"Limite de {count} h","composer.statusPlain.rateLimitLabelBase":"Limite de fréquence","composer.statusPlain.rateLimitMinutes":"Limite de {count} m","composer.statusPlain.rateLimitPercent":"{remaining} % restant","composer.statusPlain.rateLimitReset":"se réinitialise à {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"réinitialisation de l’heure non disponible","composer.statusPlain.rateLimitUnavailable":"Non disponible","composer.statusPlain.sessionCopiedAriaLabel":"ID de session copiée","composer.statusPlain.sessionCopiedTooltip":"ID copié","composer.statusPlain.sessionCopyAriaLabel":"Copier l’ID de session","composer.statusPlain.sessionCopyTooltip":"Copier l’ID","composer.statusPlain.sessionLabel":"Session :","composer.statusSlashCommand.description":"Afficher l’ID du fil, ’'utilisation du contexte et les limites de fréquence","composer.statusSlashCommand.title":"État","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Impossible d’envoyer le message","composer.submit.emptyMessage":"Entrez un message pour commencer","composer.submit.imageInputsUnsupported":"Supprimer les images ou changer de modèle pour envoyer ce message.","composer.submit.loadingLocalConfig":"Chargement en cours…","composer.submit.missingCloudConfig":"Vous devez choisir un environnement infonuagique","composer.submit.missingCloudTurn":"Impossible de donner suite à cette tâche","composer.submit.noWorkspace":"Ajouter un projet pour utiliser Codex","composer.submit.waitForImageUploads":"Téléversement des images en cours...","composer.submitButtonTooltip.send":"Envoyer","composer.submitButtonTooltip.stop":"Arrêter","composer.worktreeEnvironment.create":"Créer un environnement local","composer.worktreeEnvironment.default":"Environnement par défaut","composer.worktreeEnvironment.error":"Erreur de chargement des environnements","composer.worktreeEnvironment.loading":"Chargement des environnements en cours","composer.worktreeEnvironment.title":"Environnement local","composer.worktreeEnvironment.tooltip":"Sélectionner un environnement local","composer.worktreeSetupFailed":"Échec de la configuration de l’arborescence de travail. Vérifiez .codex/environments pour obtenir un script de configuration.","compoundButton.secondaryAction":"Action secondaire","copyButton.copied":"Copié","copyButton.copiedAriaLabel":"Copié","copyButton.copy":"Copier","copyButton.copyAriaLabel":"Copier","copyButton.copyCode":"Copier le code","diff.actionButton.revertFile":"Récupérer le fichier","diff.actionButton.revertHunk":"Récupérer","diff.actionButton.revertSection":"Récupérer tout","diff.actionButton.revertSectionLabel":"Récupérer tout","diff.actionButton.stageFile":"Préparer un fichier","diff.actionButton.stageHunk":"Préparer","diff.actionButton.stageSection":"Préparer tout","diff.actionButton.stageSectionLabel":"Préparer tout","diff.actionButton.unstageFile":"Annuler la préparation d’un fichier","diff.actionButton.unstageHunk":"Annuler la préparation","diff.actionButton.unstageSection":"Annuler toute la préparation","diff.actionButton.unstageSectionLabel":"Annuler toute la préparation","diff.fileHeader.toggle":"Basculer entre les différences de fichier","electron.onboarding.login.apikey.cancel":"Annuler","electron.onboarding.login.apikey.continue":"Continuer","electron.onboarding.login.apikey.label":"Clé d’API OpenAI","electron.onboarding.login.apikey.open":"Entrer la clé d’API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Annuler l’ouverture de session","electron.onboarding.login.chatgpt.continue":"Continuer avec ChatGPT","electron.onboarding.login.devbox":"Connexion à distance par SSH","electron.onboarding.login.error":"Échec de connexion : {rawMessage}","electron.onboarding.login.snake.start":"Jouer à Snake","electron.onboarding.login.sshConfig.cancel":"Annuler","electron.onboarding.login.sshConfig.continue":"Continuer","electron.onboarding.login.sshConfig.hostnameLabel":"Nom d’hôte SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"La meilleure façon de créer avec des agents","electron.onboarding.login.title":"Bienvenue dans Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuer","electron.onboarding.welcome.doubleLimits.description":"Pour célébrer le lancement de l’application Codex, vous bénéficiez de limites de fréquence doublées jusqu’au 2 avril.","electron.onboarding.welcome.freego.description":"Codex est inclus gratuitement dans votre plan jusqu’au 2 mars. Commençons à créer ensemble.","electron.onboarding.welcome.new.title.anon":"Bienvenue!","electron.onboarding.workspace.continue":"Continuer","electron.onboarding.workspace.empty":"Ajouter un projet pour continuer.","electron.onboarding.workspace.listLabel":"Projets disponibles","electron.onboarding.workspace.loading":"Chargement des projets en cours...","electron.onboarding.workspace.openFolder":"Ajouter un projet","electron.onboarding.workspace.selectAll":"Sélectionner tout","electron.onboarding.workspace.skip":"Ignorer","electron.onboarding.workspace.skip.error":"Impossible de créer un nouveau projet : {message}","electron.onboarding.workspace.skip.error.unknown":"Erreur inconnue","electron.onboarding.workspace.skipping":"Création d’un nouveau projet en cours...","electron.onboarding.workspace.subtitle":"Codex pourra modifier des fichiers et exécuter des commandes dans les dossiers sélectionnés.","electron.onboarding.workspace.title":"Sélectionnez un projet","errorPage.list.checkSettings":"Essayez de mettre à jour les paramètres de votre IDE","errorPage.list.configToml":"Vérifiez que votre fichier config.toml ne contient pas de paramètres non valides","errorPage.list.downloadExtension":"Essayez de télécharger une autre version de l’extension.","errorPage.list.runInWsl":"Vérifiez vos paramètres pour désactiver l’exécution dans WSL si vous rencontrez des problèmes de compatibilité.","execApprovalRequest.menu.runAlways":"Oui, et ne plus me le demander pendant cette session.","execApprovalRequest.menu.runAlwaysWithAmendment":"Oui, et ne demandez plus les commandes qui commencent par {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Oui, et ne demandez plus les commandes qui commencent par","execApprovalRequest.menu.runOnce":"Oui","execApprovalRequest.prompt":"Voulez-vous exécuter cette commande?","execApprovalRequest.reject":"Non","execFooter.exitCode":"Quitter le code {code}","execFooter.exitCode.unknown":"inconnu","execFooter.success":"Réussite","feedback.dialog.category.badResult":"Mauvais résultat","feedback.dialog.category.bug":"Bogue","feedback.dialog.category.goodResult":"Bon résultat","feedback.dialog.category.other":"Autre","feedback.dialog.descriptionPlaceholder":"Décrivez le problème ici","feedback.dialog.dismiss":"Ignorer","feedback.dialog.includeLogsLabel":"Inclure les journaux de session Codex actuels","feedback.dialog.submit":"Soumettre","feedback.dialog.submitError":"Impossible d’envoyer vos commentaires. Veuillez réessayer dans quelques instants.","feedback.dialog.title":"Commentaire","feedback.dialog.uploadedMessage.existingIssue":"problème existant","feedback.dialog.uploadedMessage.openIssue":"ouvrir un problème GitHub","feedback.dialog.uploadedMessage.withThread":"Commentaire envoyé. Si le problème persiste, veuillez {openIssueLink} ou mentionner l’ID du fil dans un {existingIssueLink} :","feedback.dialog.uploadedTitle":"Commentaire téléversé","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Retirer {filename}","header.back":"Retour","header.recentChats":"Tâches","header.recentTasks.seeAll":"Afficher tout ({total})","home.header.getPlus":"Obtenir Plus","home.hero.letsBuild":"Créons ensemble","homePage.mainContent":"Contenu principal","imageAttachment.defaultName":"image","imageAttachment.preview.close":"Fermer la prévisualisation de l’image","imageAttachment.removeAriaLabel":"Retirer {filename}","implementPlanRequest.option.implement":"Oui, mettre en œuvre ce plan","implementPlanRequest.prompt":"Mettre en œuvre ce plan?","inbox.archived.deleteError":"Impossible de supprimer l’exécution archivée","inbox.archived.deleteRun":"Supprimer l’exécution archivée","inbox.archived.deleteSuccess":"Fil archivé supprimé. Afficher dans <settingsLink>Fils archivés</settingsLink>.","inbox.archived.inlineLabel.auto":"Ce fil a été archivé automatiquement. <learnMoreLink>En savoir plus</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ce fil a été archivé.","inbox.archived.noMessageFound":"Aucun message trouvé","inbox.automations.createError":"Impossible de créer l’automatisation","inbox.automations.deleteConfirm.cancel":"Annuler","inbox.automations.deleteConfirm.confirm":"Supprimer l’automatisation","inbox.automations.deleteConfirm.description":"Cela supprimera définitivement l’automatisation et mettra fin à toute exécution future.","inbox.automations.deleteConfirm.title":"Supprimer {name}?","inbox.automations.deleteError":"Impossible de supprimer l’automatisation","inbox.automations.editTooltip":"Modifier l’automatisation","inbox.automations.inProgress":"En cours de traitement","inbox.automations.new":"Nouveau","inbox.automations.newToolbar":"Nouvelle automatisation","inbox.automations.pauseTooltip":"Interrompre l’automatisation","inbox.automations.resumeTooltip":"Reprendre l’automatisation","inbox.automations.startingNow":"À partir de maintenant","inbox.automations.startsIn":"Débute dans {startTime}","inbox.automations.status.active":"Actif","inbox.automations.status.paused":"En attente","inbox.automations.status.runs":"{count} exécutions","inbox.automations.status.started":"Lancée le {date}","inbox.automations.updateError":"Impossible de mettre à jour l’automatisation","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tout","inbox.filter.ariaLabel":"Filtrer les éléments de la boîte de réception","inbox.filter.unread":"Non lu","inbox.list.archived":"Mémoire archivée","inbox.list.inProgress":"En cours de traitement","inbox.list.recent":"Terminé","inbox.list.upNext":"Programmée","inbox.mode.automations":"Automatisations","inbox.mode.automations.beta":"Bêta","inbox.noDescription":"Aucune description fournie","inbox.openThread":"Ouvrir le fil","inbox.rightPanel.emptySubtitle":"Automatisez votre travail en configurant des tâches planifiées","inbox.rightPanel.emptySubtitle.learnMore":"Automatisez votre travail en configurant des fils planifiés. <link>En savoir plus</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatisation active} many {# automatisations actives} other {# automatisations actives}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Aucune automatisation non lue","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatisation non lue} many {# automatisations non lues} other {# automatisations non lues}}","inbox.rightPanel.emptyTitle":"Aucun élément sélectionné","inbox.rightPanel.noThread":"Aucun fil pour cet élément","inbox.rightPanel.quickStart.header":"Commencer avec un modèle","inbox.untitled":"Élément de boîte de réception sans titre","loadingPage.documentationLink":"documentation","loadingPage.errorDescription":"Codex a planté avec l’erreur suivante :","loadingPage.errorDescription.documentation":"Cliquez sur Actualiser pour redémarrer l’extension Codex, ou rendez-vous sur notre {documentationLink} pour obtenir de l’aide supplémentaire.","loadingPage.errorSignal":"Quelques solutions à essayer :","loadingPage.errorTitle":"Une erreur s’est produite","loadingPage.openConfigToml":"Ouvrir Config.toml","loadingPage.reload":"Actualiser","localConversation.contextCompacted":"Contexte automatiquement compressé","localConversation.contextCompacting":"Compression automatique du contexte","localConversation.forkedFromConversation":"Dupliqué de {threadTitle}","localConversation.merge.autoResolve.failed":"Impossible d’envoyer la demande de résolution automatique : {error}","localConversation.merge.autoResolve.sent":"Demande de résolution automatique envoyée","localConversation.merge.autoResolveMerge.missingConversation":"Impossible d’effectuer une résolution automatique sans session de clavardage active.","localConversation.merge.autoResolveMerge.request":"Résoudre automatiquement les conflits de fusion","localConversation.modelChanged":"Modèle changé de {fromModel} à {toModel}.","localConversation.modelChanged.warning.line1":"Changer de modèle en cours de conversation dégradera la performance.","localConversation.modelChanged.warning.line2":"Contexte peut être compressé automatiquement","localConversation.moveThread.createBranch.label":"Créer une branche","localConversation.moveToLocal.disabled.loading":"Chargement en cours…","localConversation.moveToLocal.modal.continue":"Continuer","localConversation.moveToLocal.modal.destinationLabel":"Déplacer vers","localConversation.moveToLocal.modal.retry":"Réessayer","localConversation.moveToWorktree.modal.back":"Retour","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Cette branche existe déjà.","localConversation.moveToWorktree.modal.branchesError":"Impossible de charger les branches","localConversation.moveToWorktree.modal.branchesLoading":"Chargement des branches en cours...","localConversation.moveToWorktree.modal.branchesRetry":"Réessayer","localConversation.moveToWorktree.modal.continue":"Continuer","localConversation.moveToWorktree.modal.retry":"Réessayer","localConversation.moveToWorktree.modal.trailingSlashError":"Le nom de la branche ne peut pas se terminer par « / ».","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"Passé à la personnalité {personality}","localConversation.planSummary.collapse":"Réduire le sommaire du plan","localConversation.planSummary.collapseTooltip":"Réduire","localConversation.planSummary.download":"Télécharger le plan","localConversation.planSummary.expand":"Développer le sommaire du plan","localConversation.planSummary.expandTooltip":"Développer","localConversation.planSummary.openInNewWindow":"Ouvrir","localConversation.planSummary.openInNewWindow.tooltip":"Ouvrir dans une nouvelle fenêtre","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plan d’écriture","localConversation.planSummary.viewPlan":"Développer le plan","localConversation.remoteTaskCreated":"Créé {taskLink} dans Codex Cloud","localConversation.remoteTaskCreated.task":"tâche","localConversation.scrollToBottomButton":"Faire défiler jusqu’en bas","localConversation.sync.buttonLabel":"Transfert vers le répertoire local","localConversation.sync.buttonLabel.tooltip":"Transférer les modifications entre cette arborescence de travail et votre extraction locale.","localConversation.sync.modal.loading.title":"Transfert des modifications en cours...","localConversation.sync.modal.noChanges":"Aucune modification","localConversation.syncSetup.branchAriaLabel":"Nom de la branche","localConversation.syncSetup.branchName":"Nom de la branche","localConversation.syncSetup.branchPlaceholder.existing":"Sélectionner la branche existante","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Chargement des branches en cours...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Extraction déjà effectuée","localConversation.syncSetup.checkoutClean":"Actuellement sur {branchName}","localConversation.syncSetup.checkoutDirty":"Actuellement sur {branchName} avec des modifications non validées","localConversation.syncSetup.checkoutError":"Échec de l’extraction de la branche : {message}","localConversation.syncSetup.checkoutLabel":"Effectuer une extraction local maintenant","localConversation.syncSetup.checkoutOnLocal":"Transfert vers le répertoire local","localConversation.syncSetup.checkoutPending":"Vérification de l’état local...","localConversation.syncSetup.checkoutUnavailable":"Espace de travail local non disponible","localConversation.syncSetup.checkoutUnknown":"Branche local non disponible","localConversation.syncSetup.continue":"Continuer","localConversation.syncSetup.createBranchError":"Échec de la configuration de la branche de transfert : {message}","localConversation.syncSetup.error":"Un problème s’est produit : {message}","localConversation.syncSetup.error.workingTreeMissing":"Impossible de créer un cliché instantané de l’arborescence de travail. Veuillez réessayer le transfert.","localConversation.syncSetup.mode.ariaLabel":"Sélectionner le mode de branche","localConversation.syncSetup.mode.existing":"Branche existante","localConversation.syncSetup.mode.new":"Nouvelle branche","localConversation.syncSetup.noBranches":"Aucune branche trouvée","localConversation.syncSetup.overwriteError":"La branche a été créée mais n’est pas entièrement transférée. Transférez manuellement avant de l’extraire localement.","localConversation.syncSetup.setPrefix":"Définir le préfixe","localConversation.syncSetup.subtitle":"Tester et modifier les modifications de l’arborescence de travail localement. <a>En savoir plus</a>","localConversation.syncSetup.success.checkedOut":"La branche a été créée et extraite localement","localConversation.syncSetup.success.notCheckedOut":"Branche créée","localConversation.syncSetup.title":"Transférer vers une branche locale","localConversation.syncWorktreeError.branchAriaLabel":"Nom de la branche","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Choisissez une branche vers laquelle transférer, puis réessayez de charger les modifications.","localConversation.syncWorktreeError.branchSetup.title":"Mettre à jour la branche","localConversation.syncWorktreeError.branchUpdate.cta":"Mettre à jour et réessayer","localConversation.syncWorktreeError.branchUpdate.error":"Échec de la mise à jour de la branche : {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Un problème s’est produit : {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"La branche n’est extraite dans aucune arborescence de travail.","localConversation.syncWorktreeV2.applyUncommitted":"Appliquer","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Vous devez extraire la branche localement pour appliquer les modifications non validées","localConversation.syncWorktreeV2.branches.empty":"Aucune branche trouvée","localConversation.syncWorktreeV2.branches.loading":"Chargement des branches en cours...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Modifier la branche de transfert","localConversation.syncWorktreeV2.changeBranch.error":"Échec du transfert de la branche : {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Échec de l’application","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Échec de la réécriture de l’arborescence de travail","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Échec de la réécriture locale","localConversation.syncWorktreeV2.commandError.back":"Retour","localConversation.syncWorktreeV2.commandError.body":"Une commande git a échoué pendant le transfert. Vérifiez le résultat et réessayez.","localConversation.syncWorktreeV2.commandError.retry":"Réessayer","localConversation.syncWorktreeV2.description":"Transférer les modifications entre l’arborescence locale et celle-ci. <a>En savoir plus</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Sélectionner le sens du transfert","localConversation.syncWorktreeV2.error.generic":"Une erreur s’est produite pendant le transfert. Veuillez réessayer.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"Calcul des modifications","localConversation.syncWorktreeV2.noChanges.summary":"Aucune modification","localConversation.syncWorktreeV2.overwrite.local":"Réécrire localement","localConversation.syncWorktreeV2.overwrite.worktree":"Réécrire l’arborescence de travail","localConversation.syncWorktreeV2.partial.action.applyFailed":"Impossible d’appliquer les modifications","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Impossible de remplacer les modifications locales","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Impossible de remplacer les modifications de l’arborescence de travail","localConversation.syncWorktreeV2.partial.appliedLabel":"Appliqué","localConversation.syncWorktreeV2.partial.back":"Retour","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Résolvez les conflits et réessayez.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflits","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","localConversation.syncWorktreeV2.partial.retry":"Réessayer","localConversation.syncWorktreeV2.partial.skippedLabel":"Ignoré","localConversation.syncWorktreeV2.stateFailed.generic":"Une erreur s’est produite lors de la récupération des modifications de l’arborescence de travail à transférer. Veuillez réessayer.","localConversation.syncWorktreeV2.stateFailed.title":"Échec du chargement des modifications de l’arborescence de travail.","localConversation.syncWorktreeV2.statusError.diffUnknown":"Échec du chargement des modifications de l’arborescence de travail.","localConversation.syncWorktreeV2.statusError.retry":"Réessayer","localConversation.syncWorktreeV2.statusError.title":"Impossible de charger les modifications de la branche locale","localConversation.syncWorktreeV2.statusError.unknown":"Le statut de la branche n’est pas disponible pour le moment. Veuillez réessayer.","localConversation.syncWorktreeV2.success.apply":"Modifications appliquées","localConversation.syncWorktreeV2.success.overwrite":"Transfert effectué","localConversation.syncWorktreeV2.title":"Transfert des modifications","localConversation.syncWorktreeV2.worktreeLabel":"Arborescence de travail","localConversation.userInputRequest.inProgress":"Demander {count, plural, one {une question} many {des questions} other {des questions}}","localConversation.userInputRequest.noAnswer":"Aucune réponse fournie","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Demandée(s)","localConversation.userInputRequest.summary.count":"{count, plural, one {# question} many {# questions} other {# questions}}","localConversation.workedFor":"A travaillé pendant {time}","localConversation.worktreeBranchSetup.action.create":"Créer","localConversation.worktreeBranchSetup.branchAriaLabel":"Nom de la branche","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Créer une nouvelle branche","localConversation.worktreeBranchSetup.checkoutDisabled":"Cette branche est déjà extraite sur {location}","localConversation.worktreeBranchSetup.checkoutError":"Échec de l’extraction de la branche : {message}","localConversation.worktreeBranchSetup.createBranchError":"Échec de la configuration de la branche : {message}","localConversation.worktreeBranchSetup.error":"Un problème s’est produit : {message}","localConversation.worktreeBranchSetup.subtitle":"Créez une branche pour valider les modifications, pousser et créer une PR à partir de cette arborescence de travail. <a>En savoir plus</a>","localConversation.worktreeBranchSetup.title":"Travailler ici","localConversationPage.addWorktreeToSidebar.tooltip":"Enregistrer en tant que projet afin de pouvoir créer de nouveaux fils à partir de cette arborescence de travail.","localConversationPage.addWorktreeToSidebarError":"Échec de l’ajout du projet.","localConversationPage.commitAndCreatePrModal.errorTitle":"Échec de la validation et de la création de la PR","localConversationPage.commitAndCreatePrModal.successTitle":"Validation effectuée et PR créée","localConversationPage.commitAndPushModal.errorTitle":"Échec de la validation et du push","localConversationPage.commitAndPushModal.successTitle":"Modifications validées et push","localConversationPage.commitCreatePr.open":"Ouvrir la pull request","localConversationPage.commitCreatePr.successTitle":"PR créée avec vos dernières modifications","localConversationPage.createBranchButtonLabel":"Brancher ici","localConversationPage.createPrModal.baseBranch":"Branche cible","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Créer une PR","localConversationPage.createPrModal.createDescription":"Ouvrez une pull request pour vos dernières modifications.","localConversationPage.createPrModal.errorTitle":"Échec de la pull request","localConversationPage.createPrModal.headBranch":"Branche source","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Ouvrir la PR","localConversationPage.createPrModal.successTitle":"Pull request créée","localConversationPage.createPrModal.title":"Créer une pull request","localConversationPage.createPrModal.viewDescription":"Une pull request existe déjà pour cette branche.","localConversationPage.createPrModal.viewTitle":"Pull request prête","localConversationPage.createPullRequestAuthGh":"Authentifiez GitHub CLI : exécutez `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informations sur la branche non disponibles","localConversationPage.createPullRequestButtonLabel":"Créer une demande de tirage","localConversationPage.createPullRequestButtonLabel.loading":"Création d’une demande de tirage en cours...","localConversationPage.createPullRequestDefaultBranchMissing":"Informations sur la branche par défaut non disponibles","localConversationPage.createPullRequestError":"Échec de la création de la demande de tirage","localConversationPage.createPullRequestExistingPullRequest":"Une pull request existe déjà pour cette branche.","localConversationPage.createPullRequestGhStatusMissing":"Chargement de l’état de GitHub CLI en cours...","localConversationPage.createPullRequestInstallGh":"Installer GitHub CLI (gh) pour créer des PR","localConversationPage.createPullRequestNoRepo":"Aucun référentiel git trouvé","localConversationPage.createPullRequestPushStatusMissing":"Chargement de l’état du push…","localConversationPage.createPullRequestSetUpstream":"Poussez cette branche avant de créer une PR","localConversationPage.createPullRequestSuccessToast":"Pull request créée","localConversationPage.createPullRequestSwitchBranch":"Sélectionnez une branche de fonctionnalité avant de créer une PR","localConversationPage.error.render":"Erreur lors du rendu de la conversation locale","localConversationPage.error.toast":"Conversation introuvable","localConversationPage.forcePushError":"Échec du push forcé","localConversationPage.generatePullRequestMessageError":"Échec de génération du titre et du corps de la demande de tirage.","localConversationPage.generatePullRequestMessageFailed":"Échec de génération du titre et du corps de la demande de tirage.","localConversationPage.gitActionResult.branch":"Branche","localConversationPage.gitActionResult.cancel":"Annuler","localConversationPage.gitActionResult.close":"Fermer","localConversationPage.gitActionResult.tryAgain":"Réessayer","localConversationPage.gitActions":"Actions Git","localConversationPage.newChat":"Nouvelle session de clavardage","localConversationPage.openInTarget":"Ouvrir dans","localConversationPage.openPrimaryTarget":"Ouvrir","localConversationPage.planItemsCompleted":"{completedItems} de {totalItems, plural, one {# tâche terminée} many {# tâches terminées} other {# tâches terminées}}","localConversationPage.pushAuthError":"Échec du push : authentification requise","localConversationPage.pushBranchMissing":"Informations sur la branche non disponibles","localConversationPage.pushButtonLabel":"Notification poussée","localConversationPage.pushButtonLabel.loading":"Pousser...","localConversationPage.pushError":"Échec du push des modifications","localConversationPage.pushModal.branchLabel":"Branche","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Annuler","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Effectuez un push de vos derniers commits vers le dépôt distant.","localConversationPage.pushModal.errorTitle":"Échec du push","localConversationPage.pushModal.forcePush":"Push forcé","localConversationPage.pushModal.successTitle":"Push terminé","localConversationPage.pushModal.title":"Push des modifications","localConversationPage.pushModal.tryAgain":"Réessayer","localConversationPage.pushNoUpstream":"Définissez un élément en amont avant de pousser cette branche","localConversationPage.pushNoUpstreamError":"Échec du push : aucun upstream configuré","localConversationPage.pushNothingToPush":"Aucune nouvelle validation à pousser","localConversationPage.pushRemoteChangedError":"Échec du push : le dépôt distant contient de nouveaux commits","localConversationPage.pushRemoteRejectedError":"La notification poussée rejetée par la connexion distante","localConversationPage.pushStatusMissing":"Chargement de l’état du push…","localConversationPage.pushSuccessToast":"Modifications poussées","localConversationPage.viewPullRequestButtonLabel":"Afficher la PR","localConversationPage.viewPullRequestButtonLabel.loading":"Chargement d’une demande de tirage en cours...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liste} many {# listes} other {# listes}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# recherche} many {# recherches} other {# recherches}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Exploration en cours","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Exploré","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} exploré(s)","localConversationTurnStory.showContent":"Afficher le contenu","localConversationTurnStory.streamContent":"Diffuser le contenu","localConversationTurnStory.toggleReasoning":"Afficher le raisonnement","localTaskRow.archiveError":"Échec de l’archivage de la conversation","localTaskRow.resumeError":"Échec de la reprise de la tâche","mermaidDiagram.ariaLabel":"Diagramme Mermaid","mermaidDiagram.copySource":"Copier Mermaid","mermaidDiagram.originalCode":"Code source Mermaid","notifications.permissions.description":"Afficher des alertes lorsque des autorisations de notification sont requises","notifications.permissions.label":"Activer les notifications d’autorisation","notifications.turnMode.always":"Toujours","notifications.turnMode.description":"Définir lorsque Codex vous indique que c’est terminé.","notifications.turnMode.label":"Notifications de la fin de l’exécution","notifications.turnMode.off":"Jamais","notifications.turnMode.unfocused":"Uniquement lorsque non ciblée","patchApprovalRequest.approve":"Approuver","patchApprovalRequest.menu.allowAlways":"Oui, et ne plus me le demander pendant cette session.","patchApprovalRequest.menu.allowForSession":"Oui, et ne plus me le demander pendant cette session.","patchApprovalRequest.menu.allowOnce":"Oui","patchApprovalRequest.prompt":"Voulez-vous apporter ces modifications?","patchApprovalRequest.reject":"Non","patchApprovalRequest.waitingForApproval":"En attente d’approbation pour modifier les fichiers","pendingRequest.approvalExec.collapse":"Réduire","pendingRequest.approvalExec.expand":"Développer","pendingRequestStory.toastAnswer":"Réponse : {answer}","pendingRequestStory.toastApprovalTitle":"Réponse d’approbation","pendingRequestStory.toastFollowupPrompt":"Requête : {prompt}","pendingRequestStory.toastFollowupTitle":"Suivi envoyé","pendingRequestStory.toastNoAnswers":"Aucune réponse fournie","pendingRequestStory.toastQuestion":"Question : {question}","pendingRequestStory.toastUnknownDecision":"Inconnu","pendingRequestStory.toastUserInputTitle":"Soumettre les réponses","quickAction.request.codeReview.branches.new":"Veuillez vérifier les modifications sur {from} en fonction de {to}","quickAction.request.codeReview.uncommitted.new":"Veuillez vérifier mes modifications non validées","reasoningItem.thinking":"En réflexion","reasoningItem.thought":"Pensée","reasoningItem.thoughtWithElapsed":"Pensée pour {elapsed}","recentConversations.title":"Conversations récentes","recentTasks.worktreeInitFailedTitle":"L’initialisation de l’arborescence de travail a échoué","recentTasks.worktreeSettingUpTitle":"Configuration de l’arborescence de travail","requestInputPanel.continue":"Continuer","requestInputPanel.dismiss":"Ignorer","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Tapez ici","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Non, et indiquez à Codex ce qu’il faut faire différemment","requestInputPanel.selectedBadge":"Sélectionné(s)","requestInputPanel.skip":"Ignorer","requestInputPanel.submit":"Soumettre","review.commit.ariaLabel.includeUnstaged":"Inclure les modifications non indexées","review.commit.buttonLabel":"Validation","review.commit.disabled.committing":"Validation en cours...","review.commit.disabled.loadingDiff":"Chargement des différences en cours…","review.commit.disabled.missingContext":"Ajoutez du contexte pour générer un message de validation.","review.commit.disabled.noChanges":"Aucune modification à la validation","review.commit.disabled.noSelection":"Sélectionner les modifications à valider","review.commit.disabled.unavailable":"La validation n’est pas disponible pour le moment","review.commit.error":"Échec de la validation des modifications","review.commit.form.changesToBeCommitted":"Modifications","review.commit.form.commitTo":"Branche","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuer","review.commit.form.title":"Valider vos modifications","review.commit.generate.emptyResponse":"Impossible de générer un message de validation.","review.commit.generate.failed":"Échec de génération du message de validation : {error}","review.commit.generate.missingPrompt":"Ajoutez du contexte pour générer un message de validation.","review.commit.includeUnstaged":"Inclure les modifications non indexées","review.commit.loading.description":"Veuillez patienter, cela peut prendre un certain temps.","review.commit.loading.step.commit.done":"Modifications non validées","review.commit.loading.step.commit.pending":"Validation des modifications","review.commit.loading.step.createPr.done":"Pull request créée","review.commit.loading.step.createPr.pending":"Création d’une pull request en cours","review.commit.loading.step.push.done":"Push effectué vers la branche {branch}","review.commit.loading.step.push.pending":"Push vers la branche {branch} en cours","review.commit.loading.title.commit":"Validation des modifications","review.commit.loading.title.createPr":"Création d’une PR","review.commit.loading.title.push":"Push des modifications en cours","review.commit.messageLabel":"Message de validation","review.commit.messagePlaceholder":"Laisser vide pour générer automatiquement un message de validation.","review.commit.nextSteps":"Prochaines étapes","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Valider et créer une PR","review.commit.nextSteps.commitAndPush":"Valider et effectuer un push","review.commit.nextSteps.prRequiresGh":"Nécessite GitHub CLI : {command}","review.commit.rows.changes":"Modifications","review.commit.rows.commitCount":"{count, plural, one {# validation} many {# validations} other {# validations}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# validation} many {# validations} other {# validations}} et {stats}","review.commit.rows.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","review.commit.state.error.body":"Une erreur s’est produite lors de la validation. Vérifiez votre statut git et réessayez.","review.commit.state.error.title":"Échec de la validation","review.commit.state.success.title":"Modifications validées","review.commit.untracked.loadingStats":"Chargement des statistiques diff non suivies…","reviewFindingAttachments.count":"{count, plural, one {# résultat} many {# résultats} other {# résultats}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Modifiez votre configuration pour personnaliser le comportement de l’agent","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"Redémarrer Codex après modification pour appliquer les changements","settings.agent.configuration.subtitle":"Ces paramètres s’appliquent partout où Codex est utilisé.","settings.automations.banner.danger":"Les automatisations s’exécutent avec vos paramètres de bac à sable par défaut, qui sont actuellement définis sur Accès complet. L’exécution d’automatisations en arrière-plan avec un accès complet comporte un risque élevé, car Codex peut modifier des fichiers, exécuter des commandes et accéder au réseau sans demander l’autorisation. Envisagez de mettre à jour les paramètres du bac à sable pour autoriser l’écriture dans l’espace de travail et d’utiliser des <rulesDocsLink>règles</rulesDocsLink> pour définir de manière sélective les commandes que l’agent peut exécuter avec un accès complet.","settings.automations.banner.defaultHowTo.default":"Les automatisations s’exécutent avec vos paramètres par défaut du bac à sable. Les appels d’outils échoueront s’ils nécessitent de modifier des fichiers en dehors de l’espace de travail, d’accéder au réseau ou d’utiliser des applications sur votre ordinateur. Vous pouvez autoriser de manière sélective l’exécution de commandes en dehors du bac à sable à l’aide de <rulesDocsLink>règles</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Les automatisations s’exécutent avec vos paramètres de bac à sable par défaut, qui sont définis en lecture seule. Les appels aux outils échoueront s’ils nécessitent de modifier des fichiers, d’accéder au réseau ou d’utiliser des applications sur votre ordinateur. Envisagez de mettre à jour les paramètres du bac à sable pour autoriser l’écriture dans l’espace de travail.","settings.automations.cancel":"Annuler","settings.automations.create":"Créer","settings.automations.cwdEmpty":"Aucun dossier de projet disponible.","settings.automations.cwdLabel":"Projets","settings.automations.cwdPlaceholder":"Choisissez un dossier","settings.automations.cwdSubtitle":"Si vous souhaitez qu’une automatisation s’exécute sur une branche spécifique, vous pouvez le spécifier dans votre requête.","settings.automations.delete":"Supprimer","settings.automations.dialog.editTitle":"Modifier l’automatisation","settings.automations.dialog.newTitle":"Nouvelle automatisation","settings.automations.dialog.subtitle":"Automatisez les tâches récurrentes en arrière-plan. Codex ajoute les résultats à la boîte de réception ou archive automatiquement la tâche s’il n’y a rien à signaler. <learnMoreLink>En savoir plus</learnMoreLink>","settings.automations.dialog.title":"Créer une automatisation","settings.automations.executionCopy.git":"Les automatisations s’exécutent en arrière-plan sur des arborescences de travail dédiées.","settings.automations.executionCopy.nonGit":"Les automatisations dans les projets non contrôlés par version s’exécutent directement dans le répertoire du projet. Envisagez d’utiliser Git pour permettre l’exécution sur des arborescences de travail en arrière-plan.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Arborescence de travail","settings.automations.loading":"Chargement en cours…","settings.automations.nameLabel":"Nom","settings.automations.namePlaceholder":"Vérifiez les problèmes signalés par Sentry","settings.automations.pause":"Pause","settings.automations.promptLabel":"Requête","settings.automations.promptPlaceholder":"rechercher les plantages dans $Sentry","settings.automations.resume":"Reprendre","settings.automations.rruleSummaryFallback":"Calendrier personnalisé","settings.automations.runNow":"Test","settings.automations.save":"Enregistrer","settings.automations.scheduleBadge.dayCount":"{count} j","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Les jours de la semaine","settings.automations.scheduleBadge.weekends":"La fin de semaine","settings.automations.scheduleHeader":"Calendrier","settings.automations.scheduleHours":"heures","settings.automations.scheduleLabel":"Exécuter chaque","settings.automations.scheduleMode.daily":"Tous les jours","settings.automations.scheduleMode.interval":"Intervalle","settings.automations.scheduleModeLabel":"Type de calendrier","settings.automations.scheduleSummary.daily":"Tous les jours à {time}","settings.automations.scheduleSummary.interval":"Chaque {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# jour} many {# jour} other {# jour}}","settings.automations.scheduleSummary.intervalDays":"{interval} le {days}","settings.automations.scheduleSummary.intervalHourly":"Chaque heure","settings.automations.scheduleSummary.singleDay":"{day} à {time}","settings.automations.scheduleSummary.weekdays":"Les jours de la semaine à {time}","settings.automations.scheduleSummary.weekdaysLabel":"les jours de la semaine","settings.automations.scheduleSummary.weekends":"La fin de semaine à {time}","settings.automations.scheduleSummary.weekendsLabel":"la fin de semaine","settings.automations.scheduleSummary.weekly":"{days} à {time}","settings.automations.scheduleWeekdays":"Activé","settings.automations.weekdayState.excluded":"Exclusion","settings.automations.weekdayState.included":"Inclusion","settings.conversationDetail.steps":"Étapes","settings.conversationDetail.steps.description":"Masquer les commandes et les sorties","settings.conversationDetail.stepsWithCommands":"Étapes avec commandes de code","settings.conversationDetail.stepsWithCommands.description":"Afficher les commandes, réduire la sortie","settings.conversationDetail.stepsWithOutput":"Étapes avec sortie de code","settings.conversationDetail.stepsWithOutput.description":"Afficher les commandes et développer la sortie","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Aucun clavardage archivé.","settings.dataControls.archivedChats.error":"Impossible de charger les clavardages archivés.","settings.dataControls.archivedChats.loading":"Chargement des clavardages archivés en cours...","settings.dataControls.archivedChats.unarchive":"Désarchiver","settings.dataControls.archivedChats.unarchiveError":"Impossible de désarchiver le clavardage","settings.dataControls.archivedChats.unarchiveSuccess":"Fil non archivé. <viewNowLink>Afficher maintenant</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Fil non archivé.","settings.dataControls.archivedChats.untitled":"Clavardage sans titre","settings.dataControls.archivedChats.viewNow":"Afficher maintenant","settings.editRow.headerPlaceholder":"Clé","settings.editRow.removeEntry":"Retirer l’entrée","settings.editRow.valuePlaceholder":"Valeur","settings.general.appearance":"Apparence","settings.general.appearance.codeFont":"Police du code","settings.general.appearance.codeFont.description":"Ajuster la police et la taille utilisée pour le code dans les sessions de clavardage et les différences","settings.general.appearance.codeFontFamily":"Groupe de polices de caractères","settings.general.appearance.codeFontSize":"Taille de la police du code","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Faire en sorte que les fenêtres utilisent un arrière-plan uni plutôt que la translucidité du système","settings.general.appearance.opaqueWindows.label":"Utiliser un arrière-plan opaque pour les fenêtres","settings.general.appearance.sansFontFamily":"Groupe de polices Sans","settings.general.appearance.sansFontFamily.description":"Ajuster la police utilisée pour l’interface utilisateur Codex","settings.general.appearance.sansFontSize":"Taille de police Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Afficher les effets de célébration en plein écran pendant que GPT-5.3-Codex-Spark exécute le premier échange","settings.general.appearance.sparkCelebrationEffects.label":"Effets de célébration avec Spark","settings.general.appearance.theme":"Thème","settings.general.appearance.theme.dark":"Foncé","settings.general.appearance.theme.description":"Utilisez des couleurs claires, foncées ou assorties à votre système","settings.general.appearance.theme.light":"Clair","settings.general.appearance.theme.system":"Système","settings.general.appearance.usePointerCursors.description":"Remplacer le curseur par un pointeur lorsque vous survolez des éléments interactifs","settings.general.appearance.usePointerCursors.label":"Utiliser des curseurs pointeurs","settings.general.enterBehavior.description":"Lorsqu’elles sont activées, les requêtes à plusieurs lignes nécessitent {modifierSymbol} + Entrée pour être envoyées.","settings.general.enterBehavior.label":"Nécessite {modifierSymbol} + Entrée pour envoyer de longues requêtes","settings.general.experimentalFeatures":"Fonctionnalités expérimentales (bêta)","settings.general.experimentalFeatures.empty":"Aucune fonctionnalité expérimentale bêta disponible.","settings.general.experimentalFeatures.loading":"Chargement des fonctionnalités expérimentales en cours...","settings.general.experimentalFeatures.restartNote":"Redémarrez Codex pour appliquer les modifications expérimentales apportées aux fonctionnalités.","settings.general.experimentalFeatures.toggle":"Basculer vers {featureName}","settings.general.followUpQueueMode.description":"Mettre en file d’attente les suivis pendant l’exécution de Codex ou diriger l’exécution en cours. Appuyer sur {invertFollowUpShortcutLabel} pour faire l’inverse pour un message.","settings.general.followUpQueueMode.interrupt":"Diriger","settings.general.followUpQueueMode.label":"Mesures de suivi","settings.general.followUpQueueMode.queue":"File d'attente","settings.general.notifications":"Notifications","settings.general.power.preventSleepWhileRunning.description":"Ne mettez pas votre ordinateur en veille pendant que Codex exécute un fil.","settings.general.power.preventSleepWhileRunning.label":"Empêchez la mise en veille pendant l’exécution.","settings.git.branchPrefix.ariaLabel":"Préfixe de branche","settings.git.branchPrefix.description":"Préfixe utilisé lors de la création de nouvelles branches dans Codex","settings.git.branchPrefix.label":"Préfixe de branche","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Échec de l’enregistrement du préfixe de branche","settings.git.branchPrefix.save.success":"Préfixe de branche enregistré","settings.git.commitInstructions.ariaLabel":"Valider les instructions","settings.git.commitInstructions.description":"Ajouté aux requêtes de génération de messages de validation","settings.git.commitInstructions.label":"Valider les instructions","settings.git.commitInstructions.placeholder":"Ajouter des conseils pour les messages de validation…","settings.git.commitInstructions.save":"Enregistrer","settings.git.commitInstructions.save.error":"Impossible d’enregistrer les instructions de validation","settings.git.commitInstructions.save.success":"Instructions de validation enregistrées","settings.git.forcePush.ariaLabel":"Toujours forcer le pousser","settings.git.forcePush.description":"Utilisez --force-with-lease lors du push depuis Codex","settings.git.forcePush.label":"Toujours forcer le pousser","settings.git.forcePush.save.disabled":"Toujours forcer le pousser : désactivé","settings.git.forcePush.save.enabled":"Toujours forcer le pousser : activé","settings.git.forcePush.save.error":"Échec de l’enregistrement du paramètre « Toujours forcer le pousser »","settings.git.prInstructions.ariaLabel":"Instructions pour la demande de tirage","settings.git.prInstructions.description":"Ajouté aux corps des demandes de tirage créés par Codex","settings.git.prInstructions.label":"Instructions pour la demande de tirage","settings.git.prInstructions.placeholder":"Ajouter des conseils pour les demandes de tirage…","settings.git.prInstructions.save":"Enregistrer","settings.git.prInstructions.save.error":"Échec d’enregistrement des instructions pour la demande de tirage","settings.git.prInstructions.save.success":"Instructions pour la demande de tirage enregistrées","settings.ide.defaultOpenTarget.description":"Emplacement des fichiers et dossiers ouverts par défaut","settings.ide.defaultOpenTarget.label":"Destination d’ouverture par défaut","settings.ide.defaultOpenTarget.placeholder":"Aucune cible trouvée","settings.ide.language.auto":"Détection automatique","settings.ide.language.autoOption":"Détection automatique","settings.ide.language.description":"Langue de l’interface utilisateur de l’application","settings.ide.language.label":"Langue","settings.ide.language.search":"Recherche de langues","settings.layout.actionButton":"Redémarrer la prolongation","settings.layout.actionTitle":"Paramètres avec action","settings.layout.fullWidthTitle":"Paramètres (pleine largeur)","settings.layout.title":"Paramètres","settings.localEnvironments.actions.add":"Ajouter une action","settings.localEnvironments.actions.add.description":"Créer une nouvelle commande à exécuter à partir de la barre d’outils.","settings.localEnvironments.actions.add.save":"Enregistrer","settings.localEnvironments.actions.empty":"Ajoutez une action pour exécuter des commandes à partir de la barre d’outils locale.","settings.localEnvironments.actions.icon.debug":"Déboguer","settings.localEnvironments.actions.icon.run":"Exécuter","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Outil","settings.localEnvironments.actions.item.button.delete":"Supprimer","settings.localEnvironments.actions.item.command":"Script d’action","settings.localEnvironments.actions.item.name":"Nom","settings.localEnvironments.actions.item.platforms":"Plateformes","settings.localEnvironments.actions.item.platforms.help":"Exécutez uniquement sur un système d’exploitation spécifique.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Sélection de plateforme","settings.localEnvironments.actions.item.platforms.specific":"Spécifique à la plateforme","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Supprimer","settings.localEnvironments.actions.title":"Actions","settings.localEnvironments.breadcrumb.back":"Retour","settings.localEnvironments.breadcrumb.edit":"modifier","settings.localEnvironments.breadcrumb.root":"Environnements","settings.localEnvironments.environment.actions.description":"Ces actions peuvent exécuter n’importe quelle commande et sont affichées dans l’en-tête.","settings.localEnvironments.environment.actionsLabel":"Actions","settings.localEnvironments.environment.create":"Créer un environnement local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Modifier l’environnement local","settings.localEnvironments.environment.empty":"Aucun environnement local n’est configuré pour ce projet pour le moment.","settings.localEnvironments.environment.name":"Nom","settings.localEnvironments.environment.setup":"Script d’installation","settings.localEnvironments.environment.setup.description":"Ce script s’exécutera lors de la création de l’arborescence de travail.","settings.localEnvironments.environment.setup.hint":"S’exécute dans la racine du projet.","settings.localEnvironments.environment.setup.platformOverrides":"Remplacements de plateforme","settings.localEnvironments.environment.setup.platformOverrides.add":"Ajouter le script d’installation {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Remplace le script par défaut pour certains systèmes d’exploitation spécifiques.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Retirer","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Détails de l’environnement","settings.localEnvironments.file.missing":"Enregistrez pour créer ce fichier pour la première fois.","settings.localEnvironments.file.parseError":"Impossible d’analyser le fichier existant. L’enregistrement va le remplacer. ({error})","settings.localEnvironments.file.path":"Fichier : {path}","settings.localEnvironments.file.readError":"Échec du chargement des données de l’environnement local. ({error})","settings.localEnvironments.file.title":"Fichier de l’environnement local","settings.localEnvironments.loading.body":"Récupération de la configuration de votre projet.","settings.localEnvironments.loading.title":"Chargements des environnements locaux en cours","settings.localEnvironments.preview.devOnly":"(DEV, uniquement)","settings.localEnvironments.preview.save":"Enregistrer","settings.localEnvironments.preview.saveError":"Échec de l'enregistrement du fichier. ({error})","settings.localEnvironments.preview.title":"Aperçu","settings.localEnvironments.save.disabled.name":"Ajouter un nom d’environnement à enregistrer.","settings.localEnvironments.save.disabled.noChanges":"Aucune modification à enregistrer.","settings.localEnvironments.save.disabled.saving":"Enregistrement en cours...","settings.localEnvironments.save.success":"Environnement local enregistré","settings.localEnvironments.unavailable.body":"Impossible de charger les paramètres de l’environnement local pour ce projet.","settings.localEnvironments.unavailable.title":"Environnements locaux non disponibles","settings.localEnvironments.workspace.add":"Ajouter un projet","settings.localEnvironments.workspace.title":"Projet","settings.localEnvironments.workspaceSelect.addLabel":"Ajouter un environnement","settings.localEnvironments.workspaceSelect.description":"Les environnements locaux indiquent à Codex comment configurer des arborescences de travail pour un projet. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Aucun projet pour le moment. Ajoutez-en un pour configurer les environnements locaux.","settings.localEnvironments.workspaceSelect.errorLabel":"L’environnement nécessite une attention particulière","settings.localEnvironments.workspaceSelect.learnMore":"En savoir plus","settings.localEnvironments.workspaceSelect.listLabel":"Projets disponibles","settings.localEnvironments.workspaceSelect.loading":"Chargement des projets.","settings.localEnvironments.workspaceSelect.loadingLabel":"Chargement de l’environnement en cours","settings.localEnvironments.workspaceSelect.title":"Sélectionnez un projet","settings.localEnvironments.workspaceSelect.viewAction":"Afficher","settings.mcp.addServer":"Ajouter le serveur","settings.mcp.app.configure":"Configurer","settings.mcp.app.connect":"Associer","settings.mcp.apps.refresh":"Actualiser","settings.mcp.detail.addArgument":"Ajouter un argument","settings.mcp.detail.addEnvVar":"Ajouter une variable d’environnement","settings.mcp.detail.addEnvVarPassthrough":"Ajouter une variable","settings.mcp.detail.args":"Arguments","settings.mcp.detail.back":"Retour","settings.mcp.detail.command":"Commande à lancer","settings.mcp.detail.cwd":"Répertoire de travail","settings.mcp.detail.docs":"Ouvrir la documentation MCP","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"Transfert des variables d’environnement","settings.mcp.detail.envVars":"Variables d’environnement","settings.mcp.detail.http.addEnvHeader":"Ajouter une variable","settings.mcp.detail.http.addHeader":"Ajouter un en-tête","settings.mcp.detail.http.bearerToken":"Variable d’environnement du jeton porteur","settings.mcp.detail.http.envHeaders":"En-têtes de variables d'environnement","settings.mcp.detail.http.headers":"En-têtes","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nom","settings.mcp.detail.save":"Enregistrer","settings.mcp.detail.switchTransportNotice":"Si vous souhaitez changer de type de serveur MCP, veuillez d’abord le désinstaller.","settings.mcp.detail.titleExisting":"Mettre à jour {name} MCP","settings.mcp.detail.titleNew":"Connecter à un MCP personnalisé","settings.mcp.detail.transport.http":"HTTP diffusable","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Désinstaller","settings.mcp.empty":"Aucun serveur MCP personnalisé connecté","settings.mcp.myServers":"Serveurs personnalisés","settings.mcp.partnerServer.description.figma":"Générez un meilleur code en intégrant tout le contexte Figma","settings.mcp.partnerServer.description.github":"Intégrez les API GitHub pour automatiser les flux de travail et extraire des données","settings.mcp.partnerServer.description.linear":"Intégrez le suivi des problèmes et la gestion de projet de Linear","settings.mcp.partnerServer.description.notion":"Lisez des documents, mettez à jour des pages, gérez des tâches","settings.mcp.partnerServer.description.playwright":"Intégrez l’automatisation du navigateur pour mettre en œuvre la conception et tester l’interface utilisateur","settings.mcp.partnerServer.install":"Installer","settings.mcp.partnerServer.installAndAuthenticate":"Installer et authentifier","settings.mcp.partnerServer.logoAlt":"Logo de {label}","settings.mcp.partnerServer.manage":"Gérer","settings.mcp.partnerServer.vendor":"par {vendor}","settings.mcp.recommendedServers":"Serveurs recommandés","settings.mcp.restartApp":"Recommencer","settings.mcp.restartExtension":"Redémarrer la prolongation","settings.mcp.server.enable":"Activer","settings.mcp.server.login":"Authentifier","settings.mcp.server.settings":"Paramètres","settings.multiselect.createOption":'Créer "{value}"',"settings.multiselect.removeOption":"Retirer","settings.nav.account":"Compte","settings.nav.agent":"Configuration","settings.nav.ariaLabel":"Paramètres","settings.nav.back":"Retour à l’appli","settings.nav.data-controls":"Fils archivés","settings.nav.environments":"Environnements infonuagiques","settings.nav.externalTooltip":"[alpha] Ouvre dans un navigateur","settings.nav.general-settings":"Général","settings.nav.git-settings":"Git","settings.nav.local-environments":"Environnements","settings.nav.mcp-settings":"Serveurs MCP","settings.nav.notImplemented":"[alpha] Non disponible dans Alpha","settings.nav.personalization":"Personnalisation","settings.nav.skills-settings":"Compétences","settings.nav.usage-analytics":"Utilisation et analyse","settings.nav.worktrees":"Arborescences de travail","settings.openSourceLicenses.back":"Retour","settings.openSourceLicenses.loading":"Chargement en cours…","settings.openSourceLicenses.missing":"Aucune notification tierce n’a été trouvée.","settings.openSourceLicenses.notSupported":"Non disponible sur cet hôte.","settings.openSourceLicenses.rowDescription":"Notifications tierces pour les dépendances groupées","settings.openSourceLicenses.rowLabel":"Licences libre service","settings.openSourceLicenses.subtitle":"Notifications tierces pour les dépendances incluses dans cette application","settings.openSourceLicenses.title":"Licences libre service","settings.openSourceLicenses.view":"Afficher","settings.personalization.agents.description":"Modifiez les instructions qui adaptent Codex à vos besoins. {learnMore}","settings.personalization.agents.learnMore":"En savoir plus","settings.personalization.agents.loadError":"Impossible de charger les agents.md.","settings.personalization.agents.loading":"Chargement des agents.md en cours...","settings.personalization.agents.placeholder":"Ajoutez vos instructions personnalisées...","settings.personalization.agents.retry":"Réessayer","settings.personalization.agents.save":"Enregistrer","settings.personalization.agents.save.error":"Impossible d’enregistrer les agents.md","settings.personalization.agents.save.success":"Agents.md enregistrés","settings.personalization.agents.title":"Instructions personnalisées","settings.personalization.personality.description":"Choisissez un ton par défaut pour les réponses de Codex","settings.personalization.personality.label":"Personnalité","settings.sample.contentBody":"Utilisez cette mise en page pour composer vos panneaux de paramètres avec un espacement uniforme.","settings.sample.contentTitle":"Exemple de bloc de contenu","settings.section.account":"Compte","settings.section.agent":"Configuration","settings.section.data-controls":"Fils archivés","settings.section.environments":"Environnements infonuagiques","settings.section.external":"S’ouvre dans votre navigateur durant l’Alpha","settings.section.general-settings":"Général","settings.section.git-settings":"Git","settings.section.local-environments":"Environnements","settings.section.mcp-settings":"Serveurs MCP","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"Connectez des outils externes et des sources de données.","settings.section.personalization":"Personnalisation","settings.section.skills-settings":"Compétences","settings.section.unavailable":"Pas encore disponible dans Alpha","settings.section.usage-analytics":"Utilisation et analyse","settings.section.worktrees":"Arborescences de travail","settings.threadDetail.description":"Choisir la quantité de sorties de commandes à afficher dans les fils","settings.threadDetail.label":"Détails du fil","settings.worktrees.conversation.untitled":"Conversation sans titre","settings.worktrees.delete.error":"Échec de la suppression de l’arborescence de travail","settings.worktrees.empty.body":"Les arborescences de travail créées par Codex apparaîtront ici.","settings.worktrees.empty.title":"Aucune arborescence de travail pour le moment","settings.worktrees.error.body":"Une erreur s’est produite lors du chargement des arborescences de travail.","settings.worktrees.error.retry":"Réessayer","settings.worktrees.error.title":"Impossible de charger les arborescences de travail","settings.worktrees.loading.body":"Récupération des détails de l’arborescence de travail.","settings.worktrees.loading.title":"Chargement des arborescences de travail","settings.worktrees.repository.loading":"Chargement des métadonnées du dépôt en cours","settings.worktrees.repository.unknown":"Référentiel inconnu","settings.worktrees.row.conversations":"Conversations","settings.worktrees.row.conversations.empty":"Aucune conversation n’est liée à cette arborescence de travail.","settings.worktrees.row.conversations.loading":"Chargement des conversations en cours...","settings.worktrees.row.delete":"Supprimer","settings.worktrees.row.title":"Arborescence de travail","sidebarElectron.addWorkspaceRoot":"Ajouter un nouveau projet","sidebarElectron.archiveThread":"Archiver le flux","sidebarElectron.archiveThreadError":"Échec de l’archivage du fil","sidebarElectron.collapseFolder":"Réduire le dossier","sidebarElectron.createStableWorktree.dialog.cancel":"Annuler","sidebarElectron.createStableWorktree.dialog.create":"Créer","sidebarElectron.debugNavLink":"Déboguer","sidebarElectron.editWorkspaceRootOptionName":"Modifier le nom","sidebarElectron.expandFolder":"Développer le dossier","sidebarElectron.groupByMenu.recency":"Liste chronologique","sidebarElectron.groupByMenu.title":"Organiser","sidebarElectron.groupByMenu.workspace":"Par projet","sidebarElectron.inboxRouteNavLink":"Automatisations","sidebarElectron.markThreadUnread":"Indiquer comme non lu","sidebarElectron.missingWorkspaceRoot":"Ce dossier de projet a été supprimé ou déplacé","sidebarElectron.newThread":"Nouveau fil","sidebarElectron.newThreadInGroup":"Démarrer un nouveau flux dans {folder}","sidebarElectron.noRecentThreads":"Aucun fil récent","sidebarElectron.noTasks":"Aucun fil","sidebarElectron.noTasks.start":"Ajouter un nouveau projet","sidebarElectron.noTasksWithFilter":"Aucun fil ne correspond aux filtres","sidebarElectron.pinnedThreads":"Fils épinglés","sidebarElectron.recentNavLink":"Fils","sidebarElectron.recentThreads":"Fils récents","sidebarElectron.removeWorkspaceRootOption":"Retirer","sidebarElectron.renameThread":"Renommer le fil","sidebarElectron.renameThreadDialogAriaLabel":"Titre du fil","sidebarElectron.renameThreadDialogCancel":"Annuler","sidebarElectron.renameThreadDialogPlaceholder":"Ajouter un titre...","sidebarElectron.renameThreadDialogSave":"Enregistrer","sidebarElectron.renameThreadDialogSubtitle":"Optez pour un nom court et reconnaissable.","sidebarElectron.renameThreadDialogTitle":"Renommer le fil","sidebarElectron.renameThreadError":"Échec de la modification du nom du fil","sidebarElectron.renameWorkspaceRootOptionLabel":"Nom affiché","sidebarElectron.showLess":"Afficher moins","sidebarElectron.showMenu.all":"Tous les fils","sidebarElectron.showMenu.relevant":"Pertinente","sidebarElectron.showMenu.relevantHint":"Afficher uniquement les fils récents pour la branche actuelle, les arborescences de travail ou d’autres fils qui nécessitent votre attention.","sidebarElectron.showMenu.title":"Afficher","sidebarElectron.showMenu.tooltip":"Filtrer, trier et organiser les fils","sidebarElectron.showMenu.trigger":"Filtrer les fils dans la barre latérale","sidebarElectron.showMore":"Afficher plus","sidebarElectron.skillsRouteNavLink":"Compétences","sidebarElectron.sortMenu.created":"Créé","sidebarElectron.sortMenu.title":"Trier par","sidebarElectron.sortMenu.updated":"Mis à jour","sidebarElectron.taskNavigation":"Dossiers d'automatisation","sidebarElectron.tasksInFolder":"Automatisations dans {folder}","sidebarElectron.workspaceOptions":"Les actions du projet pour {folder}","sidebarElectron.worktreeGroupTooltip":"Il s’agit d’une arborescence de travail git","skills.appsPage.createSkill":"Nouvelle compétence","skills.appsPage.empty.skills":"Aucune compétence trouvée","skills.appsPage.search.skills":"Rechercher des compétences","skills.appsPage.search.skills.label":"Rechercher des compétences","skills.appsPage.section.installedApps":"Installé","skills.appsPage.section.skills":"Compétences","skills.appsPage.subheading":"Donnez des superpouvoirs à Codex. <link>En savoir plus</link>","skills.appsPage.tab.recommended":"Recommandé","skills.appsPage.tab.skills":"Compétences","skills.card.contentsError":"Impossible de charger le contenu des compétences.","skills.card.disable":"Désactiver","skills.card.disableSuccess":"{skillName} compétences désactivées","skills.card.disabledBadge":"Désactivé","skills.card.enable":"Activer","skills.card.enableSuccess":"{skillName} compétences activées","skills.card.loadingContents":"Chargement du contenu des compétences en cours...","skills.card.more":"Autres actions","skills.card.open":"Ouvrir","skills.card.removeFailed":"Impossible de désinstaller la compétence","skills.card.removeSuccess":"{skillName} compétences désinstallées","skills.card.toggleEnabledError":"Échec de la mise à jour de la compétence","skills.card.try":"Essayer","skills.card.trySkill":"Essayer la compétence","skills.card.uninstall":"Désinstaller","skills.hero.dotLabel":"Rendez-vous à la diapositive {index}","skills.hero.next":"Prochaine compétence en vedette","skills.hero.trySkill":"Essayer la compétence","skills.page.createSkill":"Nouvelle compétence","skills.page.empty":"Aucune compétence trouvée","skills.page.filteredEmpty":"Aucune compétence ne correspond à vos filtres","skills.page.filteredEmptyDescription":"Essayez d’ajuster vos filtres de recherche ou d’étendue","skills.page.heading":"Compétences","skills.page.loading":"Chargement des compétences en cours...","skills.page.refreshSkills":"Actualiser","skills.page.refreshSkillsToUseNew":"Actualiser pour utiliser la ou les nouvelles compétences.","skills.page.search":"Rechercher des compétences","skills.page.search.label":"Rechercher des compétences","skills.page.subheading":"Donnez des superpouvoirs à Codex. <link>En savoir plus</link>","skills.preview.copyPrompt":"Copier la requête","skills.preview.examplePrompt":"Exemple de requête","skills.recommended.error":"Impossible de charger les compétences recommandées","skills.recommended.install":"Installer","skills.recommended.installSkill":"Installer une compétence","skills.recommended.installSuccess":"{skillName} compétences installées","skills.recommended.installed":"Installé","skills.scope.admin":"Administrateur","skills.scope.adminInstalled":"Administrateur installé","skills.scope.builtIn":"Système","skills.scope.personal":"Personnel","skills.scope.repo":"Référentiel","skills.scope.system":"Système","skills.scope.team":"Équipe","skills.scope.user":"Utilisateur","skills.section.installed":"Installé","skills.section.recommended":"Recommandées","story.slidingToggle.existing":"Existante","story.slidingToggle.fromLocal":"À partir du répertoire local","story.slidingToggle.new":"Nouveau","story.slidingToggle.toLocal":"Vers le répertoire local","terminal.close":"Fermer le terminal","terminal.title":"Terminal","thinkingShimmer.default":"En réflexion","threadEnvIcon.cloudTooltip":"Cette conversation se déroule dans Codex Cloud.","threadEnvIcon.localTooltip":"Cette conversation se déroule localement.","threadEnvIcon.worktreeTooltip":"Cette conversation se déroule dans une arborescence de travail git locale.","threadHeader.archiveConfirmCancel":"Annuler","threadHeader.archiveConfirmConfirm":"Archiver","threadHeader.archiveConfirmSubtitle":"Vous le retrouverez plus tard dans vos fils archivés.","threadHeader.archiveConfirmTitle":"Archiver le flux","threadHeader.copyAppLink":"Copier le lien profond","threadHeader.copySessionId":"Copier l’ID de session","threadHeader.copyWorkingDirectory":"Copier le répertoire de travail","threadHeader.forkIntoLocal":"Dupliquer dans un répertoire local","threadHeader.forkIntoWorktree":"Dupliquer dans une nouvelle arborescence de travail","threadHeader.forkPendingWorktreePrompt":"Dupliquer cette conversation dans une nouvelle arborescence de travail","threadHeader.forkPendingWorktreeTitle":"Conversation dupliquée","threadHeader.forkThreadError":"Échec de duplication du fil","threadHeader.forkThreadRequiresGitRepo":"Dupliquer dans une nouvelle arborescence exige un référentiel git","threadHeader.moreActions":"Actions du fil","threadPage.newThread":"Nouveau fil","threadPage.runAction.changeEnvironment":"Changer d’environnement","threadPage.runAction.dropdown.titleWithEnvironment":"Actions {environmentName}","threadPage.runAction.environmentSelector.label":"Choisir l’environnement","threadPage.runAction.label":"Exécuter","threadPage.runAction.missing.label":"Définiri une action d’exécution","threadPage.runAction.setup.commandLabel":"Commande à exécuter","threadPage.runAction.setup.description":"Indiquez à Codex comment installer les dépendances et démarrer votre application.","threadPage.runAction.setup.editMore":"Paramètres de l’environnement","threadPage.runAction.setup.placeholder":"p. ex., npm install npm run","threadPage.runAction.setup.submit":"Enregistrer et exécuter","threadPage.runAction.setup.title":"Exécuter","threadPage.runAction.tooltip.withEnvironment":"Actions {environmentName}","threadPage.toggleDiffPanel":"Basculer vers le panneau des différences","threadPage.toggleTerminal":"Activer/désactiver le terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Ouvrir le fichier","toolSummaryForCmd.exploredFiles":"Fichiers <verb>répertoriés</verb>","toolSummaryForCmd.exploredFilesInPath":"Fichiers <verb>répertoriés</verb> dans {path}","toolSummaryForCmd.exploringFiles":"<verb>Répertorier</verb> les fichiers","toolSummaryForCmd.exploringFilesInPath":"<verb>Répertorier</verb> les fichiers dans {path}","toolSummaryForCmd.ranGenericCommand":"<status>Commande exécutée</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Exécuté</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lire</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Exécution de la commande en cours</status>{timer}","toolSummaryForCmd.runningTimer":"pour {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Recherche</verb> de {query} effectuée","toolSummaryForCmd.searchedForFiles":"<verb>Recherche</verb> de fichiers effectuée","toolSummaryForCmd.searchedForInPath":"<verb>Recherche</verb> de {query} dans {path} effectuée","toolSummaryForCmd.searchingFor":"<verb>Recherche</verb> de {query}","toolSummaryForCmd.searchingForFiles":"<verb>Recherche</verb> de fichiers en cours","toolSummaryForCmd.searchingForInPath":"<verb>Recherche</verb> de {query} dans {path} en cours","traceRecording.details.noteLabel":"Que faisiez-vous lorsque cela s’est produit? (facultatif)","traceRecording.details.notePlaceholder":"J’ai accédé à un fil volumineux, puis j’ai changé plusieurs fois d’onglet...","traceRecording.details.submit":"Envoyer la trace","traceRecording.details.subtitle":"Nous pouvons envoyer cette trace de profil pour aider à diagnostiquer les problèmes de performance.","traceRecording.details.title":"Envoyer la trace de profil?","traceRecording.progress.subtitle":"Gardez Codex ouvert pendant que cette opération se termine.","traceRecording.saving.title":"Enregistrement de la trace en cours...","traceRecording.startDetails.cancel":"Annuler","traceRecording.startDetails.submit":"D’accord, démarrer l’enregistrement","traceRecording.startDetails.subtitle":"Après avoir cliqué sur OK, reproduisez le problème de performance, puis cliquez sur l’indicateur rouge flottant pour arrêter et examiner la trace.","traceRecording.startDetails.title":"Fonctionnement de l’enregistrement de la trace","traceRecording.stopButton.ariaLabel":"Arrêter l’enregistrement de la trace","traceRecording.upload.successToast":"Trace de profil envoyée.","traceRecording.uploading.title":"Téléversement de la trace en cours...","wham.diff.addComment":"Ajouter des commentaires","wham.diff.binaryFile":"Fichier binaire non affiché","wham.diff.noContent":"Sans contenu","wham.fileTag.deleted":"Supprimé","wham.fileTag.new":"Nouveau","wham.formattedRelativeDateTime.compactDaysAgo":"{value} j","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mois","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} sem.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} an","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Traitement de votre tâche","wham.whamProposedTask.title":"Tâche suggérée","wham.whamProposedTask.useSuggestion":"Utiliser la suggestion","workspaceRootDialog.addError":"Échec de l’ajout du projet.","workspaceRootDialog.cancel":"Annuler","workspaceRootDialog.confirmAdd":"Ajouter un projet","workspaceRootDialog.confirmPick":"Utiliser un projet","workspaceRootDialog.description":"Entrez un chemin sur {host} pour utiliser un projet.","workspaceRootDialog.pathLabel":"Chemin du projet","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Ajouter le chemin du projet","workspaceRootDialog.title.pick":"Choisir le chemin du projet","worktreeInitV2.cancel":"Annuler","worktreeInitV2.notification.failedTitle":"Échec de la configuration de l’arborescence de travail","worktreeInitV2.output.empty":"En attente des résultats...","worktreeInitV2.status.error":"Échec de la configuration de l’arborescence de travail.","worktreeInitV2.status.running":"Création d’une arborescence de travail et exécution de la configuration.","worktreeInitV2.status.runningFork":"Création d’une arborescence pour dupliquer cette conversation.","worktreeInitV2.status.success":"Arborescence de travail prête.","worktreeInitV2.title":"Création de l’arborescence de travail en cours","worktreeInitV2.workLocallyInstead":"Travailler plutôt localement","worktreeRestoreBanner.body":"L’arborescence de travail de ce fil a été supprimée pour économiser de l’espace disque","worktreeRestoreBanner.missing.body":"Le répertoire de travail de l’arborescence de travail de ce fil n’existe plus","worktreeRestoreBanner.missing.title":"Répertoire de travail actuel manquant","worktreeRestoreBanner.restore.error":"Échec de la restauration de l’arborescence de travail : {message}","worktreeRestoreBanner.restore.success":"Arborescence de travail restaurée","worktreeRestoreBanner.restoreCta":"Restaurer l’arborescence de travail","worktreeRestoreBanner.title":"Arborescence de travail nettoyée"};export{e as default};
+const e={"CopyButton.copyTooltip":"Copier","app.sidebar.hide":"Masquer la barre latérale","app.sidebar.show":"Afficher la barre latérale","app.sidebar.tooltip":"Afficher/masquer la barre latérale","appHeader.installUpdate":"Mettre à jour","appSunset.body":"Cette version de l'application n'est plus prise en charge. Merci de bien vouloir télécharger la dernière version à partir de ce <here>lien</here>.","appSunset.title":"Mise à jour requise","automation.updateDirective.create":"Créer","automation.updateDirective.open":"Ouvrir","automation.updateDirective.untitled":"Automatisation sans titre","automation.updateDirective.update":"Mettre à jour","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# tentative} many {# tentatives} other {# tentatives}}","cloudTaskRow.archiveError":"Échec de l’archivage de la tâche","code.diff.requestChange":"Demander une modification","code.diffComment.cancel":"Annuler","code.diffComment.comment":"Commentaire","code.diffComment.delete":"Supprimer","code.diffComment.save":"Enregistrer","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Aucun résultat n’a été signalé.","codex.alert.closeAriaLabel":"Fermer","codex.appUpsellBanner.cbpApi.message":"Créez plus rapidement avec l’application Codex. Téléchargez-la dès maintenant ou {learnMoreLink}.","codex.appUpsellBanner.download":"Télécharger","codex.appUpsellBanner.freeGo.message":"Codex est inclus dans votre plan jusqu’au 2 mars. Essayez l’application Codex pour créer plus rapidement.","codex.appUpsellBanner.later":"Plus tard","codex.appUpsellBanner.learnMoreLowercase":"en savoir plus","codex.appUpsellBanner.new":"Nouveau","codex.appUpsellBanner.proPlusBusiness.message":"Essayez l’application Codex avec une limite de fréquence doublée jusqu’au 2 avril. Téléchargez-la dès maintenant ou {learnMoreLink}.","codex.appUpsellBanner.title":"Application Codex","codex.applyDropdown.header.changes":"Modifications","codex.applyDropdown.header.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","codex.applyDropdown.header.rows":"lignes","codex.applyDropdown.header.title":"Appliquer les modifications","codex.applyDropdown.header.workspace":"Projet","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fichier en conflit :} many {{count} fichiers en conflit :} other {{count} fichiers en conflit :}}","codex.applyDropdown.results.empty":"Aucun fichier n’a été copié","codex.applyDropdown.results.skipped":"{count, plural, one {1 fichier ignoré :} many {{count} fichiers ignorés :} other {{count} fichiers ignorés :}}","codex.applyOrRevertBanner.apply":"Appliquer","codex.applyOrRevertBanner.applyMessage":"Appliquer les modifications et continuer localement?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Cette tâche a été effectuée dans {environment} et peut donc ne pas s’appliquer correctement.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Les modifications ont été effectuées dans {environment} et peuvent donc ne pas s’appliquer correctement.","codex.applyOrRevertBanner.reapply":"Appliquer de nouveau","codex.applyOrRevertBanner.revert":"Récupérer","codex.applyOrRevertBanner.revertMessage":"Récupérer les modifications apportées?","codex.applyResultsDialog.applied":"Appliqués correctement ({count})","codex.applyResultsDialog.close":"Fermer","codex.applyResultsDialog.conflicted":"En conflit ({count})","codex.applyResultsDialog.noDetails":"Aucune information disponible sur le fichier.","codex.applyResultsDialog.skipped":"Ignorés ({count})","codex.applyResultsDialog.title":"Appliquer les résultats","codex.archiveInfo":"Afficher les sessions de clavardage archivées dans {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Contrôle des données","codex.archiveInfo.electron":"Afficher les sessions de clavardage archivées dans {settingsLink}.","codex.archiveInfo.extension":"Afficher les sessions de clavardage archivées dans votre dossier .codex.","codex.archiveInfo.settingsLink":"Paramètres","codex.banner.content.description":"Exécutez des tâches en parallèle, suivez leur progression où que vous soyez et examinez les PR à l’aide de l’IA.","codex.banner.content.headline":"Codex s’occupe de tout.","codex.cloudTaskRow.archiveTask":"Archiver la tâche","codex.cloudTaskRow.confirmArchiveTask":"Confirmer","codex.command.feedback":"Commentaire","codex.command.findInThread":"Trouver","codex.command.forceReloadSkills":"Forcer un nouveau chargement des compétences","codex.command.logOut":"Fermer la session","codex.command.manageTasks":"Gérer les tâches","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Retour","codex.command.navigateForward":"Suivant","codex.command.newThread":"Nouveau fil","codex.command.nextThread":"Fil suivant","codex.command.openFolder":"Ouvrir le fichier","codex.command.openSkills":"Afficher les compétences","codex.command.openThreadOverlay":"Ouvrir la fenêtre contextuelle du fil","codex.command.personalitySettings":"Personnalité","codex.command.previousThread":"Fil précédent","codex.command.settings":"Paramètres","codex.command.toggleDiffPanel":"Basculer vers le panneau des différences","codex.command.toggleSidebar":"Afficher/masquer la barre latérale","codex.command.toggleTerminal":"Activer/désactiver le terminal","codex.commandGroup.app":"Appli","codex.commandGroup.configure":"Configurer","codex.commandGroup.navigation":"Navigation","codex.commandGroup.panels":"Panneaux","codex.commandGroup.skills":"Compétences","codex.commandGroup.thread":"Fil de discussion","codex.commandGroup.workspace":"Projet","codex.commandMenu.noResults":"Aucune correspondance","codex.commandMenu.searchPlaceholder":"Rechercher des commandes","codex.commandMenu.suggestedGroup":"Suggéré","codex.commandMenu.switchWorkspace":"Changer de projet","codex.commandMenu.title":"Menu des commandes","codex.common.retry":"Réessayer","codex.composer.searchBranches":"Rechercher des branches","codex.dialog.basic.body":"Il s’agit d'une boîte de dialogue modale simple qui utilise notre enveloppeur autour de la boîte de dialogue Radix.","codex.dialog.basic.cancel":"Annuler","codex.dialog.basic.confirm":"Confirmer","codex.dialog.basic.open":"Ouvrir la boîte de dialogue","codex.dialog.basic.title":"Exemple de boîte de dialogue","codex.dialog.long.close":"Fermer","codex.dialog.long.line":"Ligne défilable {index} pour afficher un long contenu dans la boîte de dialogue.","codex.dialog.long.open":"Ouvrir une boîte de dialogue longue","codex.dialog.long.title":"Boîte de dialogue pour long contenu","codex.dialog.unstyled.body":"Cette histoire montre comment les appelants peuvent contrôler entièrement le style du contenu de la boîte de dialogue.","codex.dialog.unstyled.open":"Ouvrir la boîte de dialogue sans style","codex.dialog.unstyled.title":"Contenu sans style","codex.diff.openInEditorPrompt.openButton":"Ouvrir dans l’éditeur","codex.diff.openInEditorPrompt.singleLine":"Ce fichier est trop volumineux pour être affiché","codex.diffView.failedToDecodeBase64Diff":"Échec du décodage de la différence base64","codex.diffView.filesChanged":"{fileCount, plural, one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.diffView.imagePreviewAlt":"Prévisualisation de l’image","codex.diffView.imagePreviewEmpty":"Aucune image","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Aucune donnée différente","codex.diffView.pdfPreview.nextPage":"Page suivante","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Page précédente","codex.diffView.pdfPreviewEmpty":"Aucun aperçu en format PDF","codex.diffView.pdfPreviewError":"Impossible d’afficher l’aperçu en format PDF","codex.diffView.richPreviewDisable":"Désactiver l’aperçu enrichi","codex.diffView.richPreviewEnable":"Activer l’aperçu enrichi","codex.diffView.richPreviewLoading":"Chargement de l'aperçu...","codex.diffView.richPreviewToggle":"Activer/désactiver l’aperçu enrichi","codex.diffView.switchToUnified":"Passer à l’affichage unifié des différences","codex.environmentSelector.noEnvironment":"Aucun environnement","codex.environments.environmentSettings":"Paramètres de l’environnement","codex.environments.learnMore":"En savoir plus","codex.environments.listError":"Échec du chargement des environnements.","codex.environments.noEnvironmentsFound":"Aucun environnement trouvé","codex.environments.searchError":"Échec de la recherche d’environnements.","codex.errorBoundary.genericError":"Oups, une erreur s’est produite.","codex.errorBoundary.goHome":"Réessayer","codex.file.patch.missing":"Impossible de créer un correctif pour ce fichier.","codex.gallery.automations.cwdLabel":"Projets","codex.gallery.automations.nameLabel":"Nom","codex.gallery.automations.namePlaceholder":"Résumez une tâche","codex.gallery.automations.promptLabel":"Requête","codex.gallery.automations.promptPlaceholder":"Décrivez ce que Codex doit faire","codex.gallery.dialogs.automation.label":"Boîte de dialogue d’automatisation","codex.gallery.dialogs.basic.body":"Utilisez cette disposition pour les confirmations simples ou les formulaires courts.","codex.gallery.dialogs.basic.cancel":"Annuler","codex.gallery.dialogs.basic.confirm":"Confirmer","codex.gallery.dialogs.basic.label":"Boîte de dialogue de base","codex.gallery.dialogs.basic.title":"Exemple de boîte de dialogue","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Décrivez le problème","codex.gallery.dialogs.feedbackSubmission.bad":"Mauvais résultat","codex.gallery.dialogs.feedbackSubmission.bug":"Bogue","codex.gallery.dialogs.feedbackSubmission.good":"Bon résultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inclure les journaux de session Codex actuels","codex.gallery.dialogs.feedbackSubmission.label":"Envoi de commentaires","codex.gallery.dialogs.feedbackSubmission.other":"Autre","codex.gallery.dialogs.feedbackSubmission.placeholder":"Décrivez le problème ici","codex.gallery.dialogs.feedbackSubmission.submit":"Soumettre","codex.gallery.dialogs.feedbackSubmission.title":"Commentaire","codex.gallery.dialogs.feedbackSuccess.body":"Commentaire envoyé. Si le problème persiste, veuillez ouvrir un ticket GitHub ou mentionner l’ID du fil de discussion dans un ticket déjà ouvert :","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ignorer","codex.gallery.dialogs.feedbackSuccess.label":"Réussite des commentaires","codex.gallery.dialogs.feedbackSuccess.title":"Commentaire téléversé","codex.gallery.dialogs.gitApplyResults.applied":"Appliqués correctement (2)","codex.gallery.dialogs.gitApplyResults.close":"Fermer","codex.gallery.dialogs.gitApplyResults.conflicted":"En conflit (1)","codex.gallery.dialogs.gitApplyResults.label":"Appliquer les résultats","codex.gallery.dialogs.gitApplyResults.title":"Appliquer les résultats","codex.gallery.dialogs.gitPushError.body":"Récupérez les dernières modifications ou forcez la mise à jour si vous savez que l’historique distant peut être écrasé sans risque.","codex.gallery.dialogs.gitPushError.cancel":"Annuler","codex.gallery.dialogs.gitPushError.force":"Pousser forcé","codex.gallery.dialogs.gitPushError.label":"Erreur de pousser","codex.gallery.dialogs.gitPushError.subtitle":"Votre branche est derrière l’originale/la principale.","codex.gallery.dialogs.gitPushError.title":"Échec du pousser des modifications","codex.gallery.dialogs.gitRevert.cancel":"Annuler","codex.gallery.dialogs.gitRevert.confirm":"Récupérer","codex.gallery.dialogs.gitRevert.label":"Récupérer les modifications","codex.gallery.dialogs.gitRevert.skip":"Ne plus demander","codex.gallery.dialogs.gitRevert.subtitle":"Cette action supprime toutes ces modifications.","codex.gallery.dialogs.gitRevert.title":"Récupérer les modifications?","codex.gallery.dialogs.longForm.label":"Boîte de dialogue longue","codex.gallery.dialogs.proseModal.body":"Ce style modal est utilisé pour les instructions longues, l’intégration ou les blocs de contenu riche.","codex.gallery.dialogs.proseModal.close":"Fermer","codex.gallery.dialogs.proseModal.subtitle":"Partagez ici des conseils ou des documents plus longs.","codex.gallery.dialogs.proseModal.title":"Prose modale","codex.gallery.dialogs.submitBlocked.label":"Soumettre un exemple de boîte de dialogue bloquée","codex.gallery.dialogs.submitBlocked.message":"Votre message n’a pas pu être envoyé, car le projet n’est pas disponible.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Impossible d’envoyer le message","codex.gallery.dialogs.title":"Boîtes de dialogue","codex.gallery.dropdown.filterPlaceholder":"Filtrer les éléments","codex.gallery.dropdowns.actionRow":"Rangées d’action","codex.gallery.dropdowns.actionRow.disabled":"Action désactivée","codex.gallery.dropdowns.actionRow.primary":"Action principale","codex.gallery.dropdowns.actionRow.secondary":"Action secondaire","codex.gallery.dropdowns.actionRow.trigger":"Afficher les actions","codex.gallery.dropdowns.basic":"Menu déroulant de base","codex.gallery.dropdowns.basic.newFile":"Nouveau fichier","codex.gallery.dropdowns.basic.newFolder":"Nouveau dossier","codex.gallery.dropdowns.basic.openSettings":"Ouvrir les paramètres","codex.gallery.dropdowns.basic.title":"Actions rapides","codex.gallery.dropdowns.basic.trigger":"Ouvrir le menu","codex.gallery.dropdowns.basic.upload":"Téléverser","codex.gallery.dropdowns.panel":"Interface du panneau","codex.gallery.dropdowns.panel.apply":"Appliquer","codex.gallery.dropdowns.panel.body":"Vérifier les différences et les appliquer à votre projet.","codex.gallery.dropdowns.panel.preview":"Aperçu","codex.gallery.dropdowns.panel.title":"Appliquer les modifications","codex.gallery.dropdowns.panel.trigger":"Ouvrir le panneau","codex.gallery.dropdowns.search":"Menu déroulant avec fonction de recherche","codex.gallery.dropdowns.search.first":"Canal alpha","codex.gallery.dropdowns.search.second":"Branche bêta","codex.gallery.dropdowns.search.third":"Version candidate","codex.gallery.dropdowns.search.trigger":"Filtrer les éléments","codex.gallery.dropdowns.submenu":"Menu déroulant avec sous-menu","codex.gallery.dropdowns.submenu.optionA":"Projet alpha","codex.gallery.dropdowns.submenu.optionB":"Projet bêta","codex.gallery.dropdowns.submenu.optionC":"Projet gamma","codex.gallery.dropdowns.submenu.primary":"Attribuer un propriétaire","codex.gallery.dropdowns.submenu.secondary":"Déplacer vers","codex.gallery.dropdowns.submenu.tertiary":"Archiver","codex.gallery.dropdowns.submenu.trigger":"Choisir une action","codex.gallery.dropdowns.title":"Menus déroulants","codex.gallery.inbox.automations.close":"Fermer","codex.gallery.inbox.automations.popover.cardTitle":"Gérer les automatisations","codex.gallery.inbox.automations.popover.dialogTitle":"Gérer les automatisations","codex.header.settingsTooltip":"Paramètres","codex.hunk.patch.error":"Échec de la préparation","codex.hunk.patch.missing":"Impossible de créer un correctif pour ce bloc.","codex.hunk.patch.partialSuccess":"Réussite partielle","codex.hunk.patch.revertError":"Échec de l’annulation de la préparation","codex.hunk.patch.revertSuccess":"Annulation de la préparation réussie","codex.hunk.patch.success":"Préparation réussie","codex.legal.autonomy.details":"Pour plus d’informations, consultez le {link}","codex.legal.autonomy.details.link":"Documents Codex","codex.legal.autonomy.title":"Décidez du degré d’autonomie que vous souhaitez accorder","codex.legal.backButton":"Retour","codex.legal.cloud.taskOne.meta":"openai/agi · 12 oct.","codex.legal.cloud.taskOne.title":"Expliquez le référentiel à un nouveau concepteur","codex.legal.cloud.taskThree.meta":"openai/codex · 8 oct.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Créez un thème en mode sombre","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 oct.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Régler un bogue d’intégration","codex.legal.continue.apikey":"Continuer","codex.legal.continueButton":"Suivant","codex.legal.copilot.details":"Utilise votre plan Copilot pour tous les appels de modèle, la facturation et les limites de fréquence. L’utilisation de l’extension Codex est soumise à {oaiTos} et à {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Conditions d’utilisation de GitHub","codex.legal.copilot.oaiTosLink":"Conditions d’utilisation de Codex d’OpenAI","codex.legal.copilot.title":"Optimisé par GitHub Copilot","codex.legal.mistakes.review":"Vérifiez le code qu’il écrit et les commandes qu’il exécute","codex.legal.mistakes.title":"Codex peut faire des erreurs","codex.legal.powered.details":"Utilise les limites de fréquence de votre plan et {link}","codex.legal.powered.details.link":"préférences relatives aux données d’entraînement","codex.legal.powered.title":"Optimisé par votre compte ChatGPT","codex.legal.step.cloud.subtitle":"Envoyez des tâches à Codex pour qu’elles soient exécutées en arrière-plan afin de rester concentré(e) et d’avancer plus rapidement.","codex.legal.step.cloud.title":"Transférez vos tâches à Codex dans le nuage","codex.legal.step.intro.subtitle":"Codex peut parcourir, modifier, exécuter des commandes et effectuer des tests directement dans votre référentiel. Optimisé par votre compte ChatGPT.","codex.legal.step.intro.title":"Codex dans votre IDE","codex.legal.step.todo.subtitle":"Rédigez un commentaire sur une tâche à accomplir et convertissez-le en tâche Codex en un seul clic.","codex.legal.step.todo.title":"Transformez vos tâches à accomplir en tâches Codex","codex.legal.todo.heading":"// À faire : mettre en œuvre le schéma","codex.localConversation.closeImagePreview":"Fermer la prévisualisation de l’image","codex.localConversation.userImageAttachment":"Image jointe par l’utilisateur","codex.localTaskRow.archiveTask":"Archiver le flux","codex.localTaskRow.awaitingApproval":"Approbation en attente","codex.localTaskRow.awaitingResponse":"En attente de réponse","codex.localTaskRow.confirmArchiveTask":"Confirmer","codex.loggedOut.apiKeyPrompt.cancel":"Annuler","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Obtenir la clé d’API","codex.loggedOut.apiKeyPrompt.inputLabel":"Entrez votre clé d’API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tâches dans le nuage désactivées avec la clé d’API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tâches dans le nuage désactivées avec Copilot et la clé d’API","codex.loggedOut.signIn":"Connexion avec ChatGPT","codex.loggedOut.signIn.cancel":"Annuler l’ouverture de session","codex.loggedOut.signInWithCopilot":"Connexion avec GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Utiliser la clé d’API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"MCP {server} outil {tool}","codex.mcpTool.collapsedLabel.verb.called":"Appelé","codex.mcpTool.collapsedLabel.verb.calling":"En appel","codex.mcpTool.embeddedResource.contentLabel":"Contenu","codex.mcpTool.embeddedResource.mimeTypeLabel":"Type MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"L’outil n’a renvoyé aucun contenu.","codex.mcpTool.rawPayloadHeading":"Charge utile brute de l’appel à l’outil MCP {server} {tool}","codex.menu.recent":"Récent","codex.menu.seeAllHistory":"Afficher tout l’historique","codex.modelCapacityBanner.headline.noReset":"{modelName} est saturé actuellement. Réessayez plus tard ou démarrez une nouvelle conversation avec un autre modèle.","codex.modelCapacityBanner.headline.withReset":"{modelName} est saturé actuellement. Réessayez après {resetDate} ou démarrez une nouvelle conversation avec un autre modèle.","codex.modelCapacityBanner.title":"Le modèle sélectionné est saturé","codex.patch.change.contentsDeleted":"Contenu supprimé","codex.patch.change.created":"Créé","codex.patch.change.created-file":"Fichier créé","codex.patch.change.creating":"Création en cours","codex.patch.change.deleted":"Supprimé","codex.patch.change.deleted-file":"Fichier supprimé","codex.patch.change.deleting":"Suppression en cours","codex.patch.change.edited":"Modifié","codex.patch.change.edited-file":"Fichier modifié","codex.patch.change.editing":"Modification","codex.patch.change.noChanges":"Aucune modification","codex.patch.change.rejected-add":"Rejeté","codex.patch.change.rejected-delete":"Rejeté","codex.patch.change.rejected-edit":"Rejeté","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} sur {total} tâches terminées","codex.plan.todoListCreated":"Liste de tâches créée avec {total} tâches","codex.profileDropdown.apiKeyAuth":"Session ouverte avec une clé d’API","codex.profileDropdown.codexSettings":"Paramètres de Codex","codex.profileDropdown.copilotAuth":"Session ouverte avec Copilot","codex.profileDropdown.defaultAccountTitle":"Compte par défaut","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Entrée pour envoyer de longues requêtes","codex.profileDropdown.enterBehaviorError":"Échec de la mise à jour du paramètre","codex.profileDropdown.getPlus":"Faites une mise à niveau pour bénéficier de limites plus élevées","codex.profileDropdown.keyboardShortcuts":"Raccourcis-clavier","codex.profileDropdown.language":"Langue","codex.profileDropdown.languageDefault":"Détection automatique","codex.profileDropdown.languageSearchPlaceholder":"Recherche de langues","codex.profileDropdown.languageUpdateError":"Échec de la mise à jour de la langue","codex.profileDropdown.logOut":"Fermer la session","codex.profileDropdown.mcp":"Paramètres MCP","codex.profileDropdown.openConfigToml":"Ouvrir config.toml","codex.profileDropdown.openConfigToml.wsl":"Ouvrir config.toml dans l’environnement WSL","codex.profileDropdown.openExtensionSettings":"Ouvrir les paramètres","codex.profileDropdown.openMcpSettings":"Ouvrir les paramètres MCP","codex.profileDropdown.openOnStartup":"Ouvrir au démarrage","codex.profileDropdown.openOnStartupError":"Échec de la mise à jour du paramètre","codex.profileDropdown.openSkillsSettings":"Ouvrir les paramètres des compétences","codex.profileDropdown.personalAccountTitle":"Compte personnel","codex.profileDropdown.queueFollowUps":"Suivi des files d'attente","codex.profileDropdown.queueFollowUpsError":"Échec de la mise à jour du paramètre","codex.profileDropdown.readDocs":"Lire les documents","codex.profileDropdown.readSkillsDocs":"Lire les documents","codex.profileDropdown.runInWsl":"Exécuter dans WSL","codex.profileDropdown.runInWslError":"Échec de la mise à jour du paramètre","codex.profileDropdown.runInWslTooltip":"Exécute Codex dans WSL. Recommandé pour une sécurité améliorée du bac à sable et de meilleures performances.","codex.profileDropdown.settings":"Paramètres IDE","codex.profileDropdown.settingsPage":"Paramètres","codex.profileDropdown.signInWithOpenAI":"Connexion avec ChatGPT","codex.profileDropdown.skills":"Paramètres des compétences","codex.profileDropdown.switchToCopilotAccount":"Utiliser le compte Copilot","codex.profileDropdown.switchToOpenAIAccount":"Utiliser le compte OpenAI","codex.profileDropdown.todoCodelens":"Régler des commentaires sur une tâche à accomplir","codex.profileDropdown.todoCodelensError":"Échec de la mise à jour du paramètre","codex.profileDropdown.windowsDocumentation":"Documentation Windows","codex.profileFooter.signedInFallback":"Paramètres","codex.profileFooter.upgrade":"Mettre à niveau","codex.recentTasksMenu.clearSearch":"Effacer la recherche","codex.recentTasksMenu.cloud":"Tâches dans le nuage","codex.recentTasksMenu.count":"{count, plural, =0 {Aucune tâche en cours} one {# tâches en cours} many {# tâches en cours} other {# tâches en cours}}","codex.recentTasksMenu.empty":"Aucun fil pour le moment","codex.recentTasksMenu.errorCloud":"Échec du chargement des tâches.","codex.recentTasksMenu.errorCloud.inline":"Échec du chargements des tâches dans le nuage.","codex.recentTasksMenu.filterAll":"Tout","codex.recentTasksMenu.filterCloudTasks":"Filtrer les tâches dans le nuage","codex.recentTasksMenu.filterTooltip":"Filtrer les tâches par environnement","codex.recentTasksMenu.local":"Tâches locales","codex.recentTasksMenu.recent":"Toutes les tâches","codex.recentTasksMenu.search":"Rechercher les tâches récentes","codex.recentTasksMenu.searchEmpty":"Aucun résultat","codex.recentTasksMenu.tooltip":"Historique des tâches","codex.recentTasksMenu.trigger":"Tâches récentes. {count, plural, one {# en cours de traitement} many {# en cours de traitement} other {# en cours de traitement}}","codex.remoteConversation.applyDiff.applyCta":"Appliquer les modifications","codex.remoteConversation.applyDiff.dropdownTitle":"Appliquer les modifications à une branche locale","codex.remoteConversation.applyDiff.revertCta":"Récupérer les modifications","codex.remoteConversation.closeImagePreview":"Fermer la prévisualisation de l’image","codex.remoteConversation.codexCloudTask":"Vous consultez une tâche <u>Codex Cloud</u>","codex.remoteConversation.errorWithMessage":"Erreur : {message}","codex.remoteConversation.loadingImage":"Chargement de l’image en cours","codex.remoteConversation.openInWeb":"Ouvrir sur le Web","codex.remoteConversation.streaming":"Démarrage","codex.remoteConversation.turnFailed":"Une erreur s’est produite lors de l’exécution de cette tâche.","codex.remoteConversation.turnTab.loading":"Tentative {number}","codex.remoteConversation.turnTab.title":"Tentative {number}","codex.remoteConversation.userImageAttachment":"Image jointe par l’utilisateur","codex.remoteConversation.viewPreviousTurns":"Ouvrir sur le Web","codex.remoteConversation.viewPreviousTurns.buttonText":"Ouvrir","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Ouvrir sur le Web","codex.review.copyGitApplyCommand":"Copier la commande git apply","codex.review.copyGitApplyCommand.toast":"La commande git apply a été copiée dans le presse-papiers.","codex.review.diffTooLarge.description":"Cette diff est trop volumineuse pour être affichée dans Vérification.","codex.review.diffTooLarge.title":"Cette différence est trop volumineuse pour être affichée","codex.review.expandOrCollapseDiffButton.collapse":"Réduire toutes les différences","codex.review.expandOrCollapseDiffButton.expand":"Développer toutes les différences","codex.review.expandOrCollapseDiffMenu.collapse":"Réduire toutes les différences","codex.review.expandOrCollapseDiffMenu.expand":"Développer toutes les différences","codex.review.fileSearch.clear":"Effacer le filtre de fichiers","codex.review.fileSearch.empty":"Aucun fichier ne correspond au filtre actuel.","codex.review.fileSearch.label":"Filtrer les fichiers","codex.review.fileSearch.placeholder":"Filtrer les fichiers...","codex.review.filesChanged":"{num, plural, =0 {Aucun fichier modifié} one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.review.find.loadMore":"Charger d’autres correspondances","codex.review.fullReview.hideFileTree":"Masquer l’arborescence des fichiers","codex.review.fullReview.showFileTree":"Afficher l’arborescence des fichiers","codex.review.header.moreOptions":"Options de vérification","codex.review.largeDiff.banner":"Différence importante détectée; affichage d'un seul fichier à la fois.","codex.review.loadFullFiles.disable":"Ne pas charger les fichiers complets","codex.review.loadFullFiles.enable":"Charger les fichiers complets","codex.review.noDiff":"Les modifications de fichiers seront affichées ici","codex.review.noDiff.gitInit.createRepository":"Créer un référentiel git","codex.review.noDiff.gitInit.creating":"Création en cours...","codex.review.noDiff.gitInit.error":"Échec de l’initialisation git : {message}","codex.review.noDiff.gitInit.success":"Référentiel git créé","codex.review.noDiff.gitRepoRequired.description":"Suivre et annuler les modifications dans ce projet","codex.review.noDiff.gitRepoRequired.title":"Créer un référentiel git","codex.review.noDiff.orNoLongerAvailable":"ou les dernières différences ne sont plus disponibles","codex.review.noDiff.reverted":"La dernière opération a été annulée","codex.review.noDiff.revertedOrCommitted":"La dernière opération a été annulée ou validée","codex.review.refreshGitQueries":"Actualiser","codex.review.revert.file.error":"Échec de la récupération de {path}","codex.review.revert.file.partialSuccess":"Récupération partielle de {path}","codex.review.revert.file.success":"Récupération de {path}","codex.review.revert.hunk.error":"Échec de la récupération du bloc {hunkNumber} dans {path}","codex.review.revert.hunk.partialSuccess":"Récupération partielle du bloc {hunkNumber} dans {path}","codex.review.revert.hunk.success":"Récupération du bloc {hunkNumber} dans {path}","codex.review.revert.section.error":"Échec de la récupération de la section","codex.review.revert.section.partialSuccess":"Récupération partielle de la section","codex.review.revert.section.success":"Section récupérée","codex.review.revertDialog.cancel":"Annuler","codex.review.revertDialog.confirm":"Confirmer","codex.review.revertDialog.message":"Cette action supprime toutes ces modifications.","codex.review.revertDialog.skip":"Ne plus demander","codex.review.revertDialog.title":"Récupérer les modifications?","codex.review.richPreview.disable":"Désactiver l’aperçu enrichi","codex.review.richPreview.enable":"Activer l’aperçu enrichi","codex.review.source.cloud":"Modifications apportées au nuage","codex.review.source.local.all":"Toutes les modifications apportées aux branches","codex.review.source.local.lastTurn":"Dernières modifications apportées à l’échange","codex.review.source.local.uncommitted":"Modifications non validées","codex.review.source.worktree":"Modifications de l’arborescence de travail non validées","codex.review.stageFilter.empty.staged.description":"Accepter les modifications pour les indexer","codex.review.stageFilter.empty.staged.title":"Aucune modification indexée","codex.review.stageFilter.empty.unstaged.description":"Les modifications de code apparaîtront ici","codex.review.stageFilter.empty.unstaged.title":"Aucune modification non indexée","codex.review.stageFilter.staged":"Préparés","codex.review.stageFilter.staged.count":"Préparés · {count}","codex.review.stageFilter.unstaged":"Non préparés","codex.review.stageFilter.unstaged.count":"Non préparés · {count}","codex.review.switchToSplit":"Passer à l’affichage divisé des différences","codex.review.switchToUnified":"Passer à l’affichage unifié des différences","codex.review.toggleDiffView":"Basculer vers la vue des différences","codex.review.wordDiffs.disable":"Désactiver les différences de mots","codex.review.wordDiffs.enable":"Activer les différences de mots","codex.review.wrap.disable":"Désactiver le retour à la ligne","codex.review.wrap.enable":"Activer le retour à la ligne","codex.section.patch.missing":"Impossible de créer un correctif pour cette section.","codex.shell.collapse":"Réduire l’interface de commande","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Contenu de l’interface de commande copié","codex.shell.copy.copyTooltip":"Copier le contenu de l’interface de commande","codex.shell.copyCommand":"Copier la commande","codex.shell.copyOutput":"Copier la sortie","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"Développer l’interface de commande","codex.shell.name":"Shell","codex.shell.noOutput":"Aucun résultat","codex.signInFailed.message":"Échec de connexion : {rawMessage}","codex.stories.toast.show":"Afficher un message transitoire","codex.stories.tooltip.basic":"Il s’agit d’une infobulle","codex.stories.tooltip.hoverMe":"Survolez-moi","codex.stories.tooltip.largerOffset":"Cette infobulle a un décalage plus important.","codex.stories.tooltip.offsetButton":"Décalage plus important","codex.stories.tooltip.shortcutButton":"Avec un raccourci","codex.stories.tooltip.withShortcut":"Activer/désactiver le terminal","codex.taskRow.title":"Nouveau fil","codex.taskRowLayout.confirm":"Confirmer","codex.threadFindBar.chatFilter":"Rechercher le clavardage","codex.threadFindBar.close":"Fermer la barre de recherche","codex.threadFindBar.diffFilter":"Rechercher dans les différences","codex.threadFindBar.label":"Rechercher dans le fil","codex.threadFindBar.nextResult":"Prochain résultat","codex.threadFindBar.noResults":"0 résultat","codex.threadFindBar.placeholder":"Rechercher dans le fil...","codex.threadFindBar.placeholder.extension":"Rechercher dans le fil...","codex.threadFindBar.placeholder.review":"Rechercher les différences...","codex.threadFindBar.placeholder.review.extension":"Rechercher les différences...","codex.threadFindBar.previousResult":"Résultat précédent","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.unifiedDiff.inlineLargeFile":"Trop volumineuse pour être rendue en ligne","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Annuler","codex.unifiedDiff.revertPatchError":"Échec de la récupération des modifications","codex.unifiedDiff.revertPatchSuccess":"Modifications récupérées","codex.unifiedDiff.reviewChangesSuffix":"modifications","codex.unifiedDiff.reviewShort":"Vérifier","codex.unifiedDiff.viewDiffTooltip":"Vérifier","codex.upsellBanner.business.headline":"Pour obtenir immédiatement un accès accru, envoyez une demande à votre administrateur ou attendez jusqu’à {resetDate}.","codex.upsellBanner.cbp.headline":"Pour obtenir immédiatement un accès accru, envoyez une demande à votre administrateur.","codex.upsellBanner.cta.addCredits":"Ajouter des crédits","codex.upsellBanner.cta.upgradeAccount":"Mettre à niveau","codex.upsellBanner.cta.viewUsage":"Consulter l’utilisation","codex.upsellBanner.free.trialHeadline":"Votre limite de fréquence sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex et obtenir l’accès à GPT-5.3-Codex, commencez votre essai gratuit de Plus dès aujourd’hui.","codex.upsellBanner.freeOrGo.headline":"Votre limite de fréquence sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, passez au plan Plus dès aujourd’hui.","codex.upsellBanner.general.headline":"Votre limite de fréquence sera réinitialisée le {resetDate}.","codex.upsellBanner.general.title":"Vous n’avez plus de messages Codex","codex.upsellBanner.go.trialHeadline":"Votre limite de fréquence sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, commencez votre essai gratuit de Plus dès aujourd’hui.","codex.upsellBanner.plus.headline":"Votre limite de fréquence sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, ajoutez des crédits ou passez au plan Pro dès aujourd’hui.","codex.upsellBanner.pro.headline":"Votre limite de fréquence sera réinitialisée le {resetDate}. Ajoutez des crédits pour continuer à utiliser Codex maintenant.","codex.userMessage.autoResolveSync":"Résolution automatique des conflits","codex.userMessage.commentCount":"{count, plural, one {# commentaire} many {# commentaires} other {# commentaires}}","codex.userMessage.copiedAriaLabel":"Copié","codex.userMessage.copiedTooltip":"Copié","codex.userMessage.copyAriaLabel":"Copier le message","codex.userMessage.copyTooltip":"Copier","codex.userMessage.implementPlan":"Mettre en œuvre le plan","codex.userMessage.noContent":"(Sans contenu)","codex.userMessage.priorConversation":"Référence la conversation précédente","codex.userMessage.reviewMode":"Mode de vérification","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"pour {query}","codex.webSearch.summary.verb.completed":"Recherche effectuée sur le Web","codex.webSearch.summary.verb.inProgress":"Recherche sur le Web","codex.windowsInstallWslBanner.dismiss":"Ignorer","codex.windowsInstallWslBanner.installWslCta":"Activer le bac à sable","codex.windowsInstallWslBanner.learnMore":"En savoir plus","codex.windowsSandboxBanner.content":"Le mode agent utilise un bac à sable expérimental dans Windows afin de limiter l’accès au système de fichiers et au réseau. {sandboxLink}","codex.windowsSandboxBanner.title":"Activer le bac à sable pour le mode agent","codex.windowsSubDropdown.windowsSandbox":"Bac à sable Windows","codex.windowsSubDropdown.windowsSettings":"Paramètres Windows","codexUpgradeModal.body":"Notre dernier modèle de codage agentique : plus intelligent, plus rapide et plus performant pour les tâches techniques générales. {link}","codexUpgradeModal.close":"Fermer","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"En savoir plus","codexUpgradeModal.title":"Présentation de GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Essayez GPT-5.3-Codex dès maintenant","codexUpgradeModal.useExistingModel":"Continuer avec le modèle actuel","commentAttachments.numComments":"{count, plural, one {# commentaire} many {# commentaires} other {# commentaires}}","commentAttachments.removeAriaLabel":"Retirer la pièce jointe des commentaires","common.close":"Fermer","composer.addContext.openFilePickerError":"Impossible d’ouvrir le sélecteur de fichiers","composer.addContextDropdown.ariaLabel":"Ajouter des fichiers et plus encore","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Ajouter des fichiers et plus encore","composer.addPhotosAndFiles":"Ajouter des photos et des fichiers","composer.atMentionList.emptyQuery":"Taper pour rechercher des fichiers","composer.atMentionList.loading":"Recherche en cours…","composer.atMentionList.noResults":"Aucun résultat","composer.attemptsSelector.option":"{count, plural, one {# version} many {# versions} other {# versions}}","composer.attemptsSelector.tooltip":"Nombre de tentatives parallèles que Codex doit effectuer","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Arrêter","composer.cloudFollowUp.cloud":"Nuage","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"Où cette tâche de suivi doit-elle s’exécuter?","composer.cloudTaskCreationError":"Une erreur s’est produite lors de la création d’une tâche dans le nuage","composer.cloudTaskError":"Erreur lors de la création de la tâche","composer.contextWindow.autoCompactionTooltipLine1":"Codex compresse automatiquement son contexte","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Fenêtre de contexte :","composer.contextWindowUsageStatusFull":"{usage} % pleine","composer.contextWindowUsageStatusLeft":"{usage} % utilisé ({remaining} % restant)","composer.contextWindowUsageTooltip":"{usedTokens} k/{contextWindow} k tokens utilisés","composer.customCliTooltip":"Utilisation d’une ligne de commande exécutable personnalisée","composer.dictation.aria":"Dicter","composer.dictation.cancel.aria":"Arrêter la dictée","composer.dictation.cancel.tooltip":"Arrêter la dictée","composer.dictation.startError":"Impossible de démarrer la dictée","composer.dictation.submit.aria":"Transcrire et envoyer","composer.dictation.submit.tooltip":"Transcrire et envoyer","composer.dictation.tooltip":"Maintenir enfoncé pour dicter","composer.dictation.transcribeError":"Impossible de transcrire l’audio","composer.dictation.unsupported":"La dictée n’est pas disponible sur cet appareil","composer.dropOverlay.holdShift":"Maintenez {key} enfoncé pour déposer","composer.dropOverlay.shiftKey":"Majuscule","composer.environmentSelector.createNew":"Créer un nouvel","composer.environmentSelector.error":"Erreur de chargement des environnements","composer.environmentSelector.goBack":"Retour au compositeur","composer.environmentSelector.title":"Sélectionner un environnement","composer.environmentSelector.tooltip":"Sélectionner un environnement infonuagique","composer.feedbackSlashCommand.title":"Commentaire","composer.filePicker.selectFile":"Sélectionner un fichier","composer.filePicker.selectFiles":"Sélectionner des fichiers","composer.followerTooltip":"Pour continuer, revenez à la fenêtre où cette conversation a commencé.","composer.footer.branchSwitch.checkoutError":"Échec du changement de branche : {message}","composer.footer.branchSwitch.createAndCheckout":"Créer et extraire une nouvelle branche...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Valider les modifications pour créer et extraire une nouvelle branche","composer.footer.branchSwitch.createBranchError":"Échec de la création de la branche : {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nom de la branche","composer.footer.branchSwitch.createDialog.branchExistsError":"Cette branche existe déjà.","composer.footer.branchSwitch.createDialog.close":"Fermer","composer.footer.branchSwitch.createDialog.createAndCheckout":"Créer et extraire","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Créer et extraire une branche","composer.footer.branchSwitch.createDialog.trailingSlashError":"Le nom de la branche ne peut pas se terminer par « / ».","composer.footer.branchSwitch.tooltip":"Changer de branche","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Validez les modifications dans {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}} pour extraire {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"modifications dans {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}} pour extraire {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Annuler","composer.footer.branchSwitch.uncommittedDialog.commit":"Valider et changer de branche...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Vos modifications apportées aux fichiers suivants seront écrasées lors de l’extraction :","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Veuillez valider vos modifications pour continuer","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"la branche sélectionnée","composer.footer.branchSwitch.uncommittedDialog.title":"Valider les modifications pour changer de branche","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Non validée : {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}}","composer.forkSlashCommand.description":"Dupliquer ce fil dans un répertoire local ou une nouvelle arborescence de travail","composer.forkSlashCommand.option.local.description":"Continuer dans un nouveau fil local","composer.forkSlashCommand.option.local.title":"Dupliquer dans un répertoire local","composer.forkSlashCommand.option.worktree.description":"Continuer dans une nouvelle arborescence de travail","composer.forkSlashCommand.option.worktree.title":"Dupliquer dans une nouvelle arborescence de travail","composer.forkSlashCommand.title":"Dupliquer","composer.ideContextIndicator":"Contexte IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Inclure de contexte à partir d’IDE","composer.ideContextIndicator.tooltipToggle":"pour basculer","composer.ideContextSlashCommand.disableDescription":"Désactiver le contexte IDE","composer.ideContextSlashCommand.enableDescription":"Inclure la sélection actuelle, les fichiers ouverts et d’autres éléments contextuels de votre IDE","composer.ideContextSlashCommand.title":"Contexte IDE","composer.imageInputsUnsupported":"Ce modèle ne prend pas en charge les entrées d’images. Essayez un autre modèle.","composer.imageUploadFailed":"Échec du téléversement de l’image","composer.includeIdeContextDropdown":"Inclure le contexte IDE","composer.includeIdeContextDropdown.ariaLabel":"Inclure le contexte IDE","composer.localCwdDropdown.addWorkspaceRoot":"Ajouter un nouveau projet","composer.localCwdDropdown.noActiveRoot":"Sélectionnez votre projet","composer.localCwdDropdown.noResults":"Aucun dossier trouvé","composer.localCwdDropdown.title":"Sélectionnez votre projet","composer.localTaskError":"Erreur lors du démarrage de la conversation","composer.mcpSlashCommand.description":"Afficher l’état du serveur MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Non authentifié","composer.mcpStatus.authOauth":"Authentifié (OAuth)","composer.mcpStatus.authToken":"Authentifié (clé d’API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Fermer","composer.mcpStatus.disabled":"Désactivé","composer.mcpStatus.emptyLabel":"Serveurs :","composer.mcpStatus.emptyValue":"Aucun serveur MCP configuré","composer.mcpStatus.enabled":"Activé","composer.mcpStatus.errorLabel":"État :","composer.mcpStatus.errorValue":"Impossible de charger l’état MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Changer de mode","composer.mode.agentMode.custom":"Personnalisé","composer.mode.agentMode.custom.dropdownLabel":"Personnalisé","composer.mode.agentMode.custom.option":"Personnalisé (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personnalisé (config.toml)","composer.mode.agentMode.customInfo.cancel":"Annuler","composer.mode.agentMode.customInfo.cli":"Vous pouvez régler ces paramètres à partir de la ligne de commande ou en modifiant directement le fichier.","composer.mode.agentMode.customInfo.confirm":"Utilisez le mode personnalisé","composer.mode.agentMode.customInfo.description":"Le mode personnalisé applique les politiques d’approbation et de bac à sable définies dans votre <link>fichier</link> config.toml.","composer.mode.agentMode.customInfo.docs":"Pour en savoir plus sur la configuration des politiques d’approbation et de bac à sable, consultez la <link>documentation relative à l’environnement d’exécution</link>.","composer.mode.agentMode.customInfo.refresh":"Toute modification prend effet lors de la prochaine exécution de l’agent.","composer.mode.agentMode.customInfo.title":"Fonctionnement du mode personnalisé","composer.mode.agentMode.fullAccess":"Agent (accès complet)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (accès complet)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (accès complet)","composer.mode.agentMode.fullAccessConfirm.caution":"Faites preuve de prudence lorsque vous activez l’accès complet. Cela augmente considérablement le risque de perte de données, de fuites ou de comportements inattendus.","composer.mode.agentMode.fullAccessConfirm.confirm":"Oui, continuer quand même","composer.mode.agentMode.fullAccessConfirm.description":"Lorsque Codex s’exécute avec un accès complet, il peut modifier n’importe quel fichier sur votre ordinateur et exécuter des commandes sur le réseau sans votre autorisation.","composer.mode.agentMode.fullAccessConfirm.goBack":"Annuler","composer.mode.agentMode.fullAccessConfirm.title":"Activer l’accès complet?","composer.mode.agentMode.readOnly":"Clavardage","composer.mode.agentMode.readOnly.dropdownLabel":"Clavardage","composer.mode.agentMode.readOnly.optionLabel":"Clavardage","composer.mode.agentMode.tooltip":"Changer de mode","composer.mode.agentMode.tooltip.auto":"Lisez et modifiez des fichiers, et exécutez des commandes.","composer.mode.agentMode.tooltip.custom":"Utilisez les dernières politiques d’approbation et de bac à sable définies dans config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex peut modifier des fichiers en dehors de ce projet et exécuter des commandes avec un accès réseau. Faites preuve de prudence lors de son utilisation.","composer.mode.agentMode.tooltip.readOnly":"Nécessite une approbation pour modifier des fichiers et exécuter des commandes.","composer.mode.cloud.tooltip":"Travailler dans un environnement infonuagique","composer.mode.contactAdmin":"Pour obtenir davantage d’accès, contactez votre administrateur.","composer.mode.local":"Local","composer.mode.local.learnMore":"En savoir plus","composer.mode.local.model.custom":"Personnalisé","composer.mode.local.model.loadingModel":"Chargement du modèle en cours...","composer.mode.local.model.selecrReasoningEffort":"Sélectionner le raisonnement","composer.mode.local.model.selectModel":"Sélectionner le modèle","composer.mode.local.model.tooltip":"Choisir le modèle","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Élevé","composer.mode.local.reasoning.low.label":"Bas","composer.mode.local.reasoning.medium.label":"Moyen","composer.mode.local.reasoning.minimal.label":"Réflexion minimale","composer.mode.local.reasoning.none.label":"Aucun","composer.mode.local.reasoning.xhigh.label":"Très approfondi","composer.mode.localRemoteWhereRun":"Sélectionner l’endroit où exécuter la tâche","composer.mode.newTask.header":"Continuer dans","composer.mode.rateLimit.day":"{days} j","composer.mode.rateLimit.heading":"Limites de fréquences restantes","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"limite de {modelName} :","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {limite hebdomadaire} many {{weeks} limite hebdomadaire} other {{weeks} limite hebdomadaire}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Chaque semaine} many {{weeks} semaines} other {{weeks} semaines}}","composer.mode.remote.connectToCloud":"Connecter Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Configurer un environnement via Codex Web pour permettre l’envoi de tâches vers le nuage","composer.mode.remote.selectEnvironment":"Sélectionner un environnement","composer.mode.remote.sendToCloud":"Envoyer vers le nuage","composer.mode.remote.setupViaWeb":"Configurer un environnement via Codex Web","composer.mode.runInCloud":"Nuage","composer.mode.runInCloudWithEnvironment":"Nuage · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Travaillez dans un environnement infonuagique","composer.mode.segmentedToggle.local.tooltip":"Travaillez dans votre projet local","composer.mode.segmentedToggle.worktree.tooltip":"Travaillez dans une arborescence de travail parallèle","composer.mode.upgradeToPlus":"Passer au plan Plus","composer.mode.upgradeToPro":"Passer au plan Pro","composer.mode.workLocally":"Projet local","composer.mode.workLocally.currentBranchFallback":"votre branche","composer.mode.workLocally.tooltip":"Travaillez sur {branchName}","composer.mode.worktree":"Nouvelle arborescence de travail","composer.mode.worktree.submoduleWarning":"Ce référentiel contient des sous-modules git. La création de l’arborescence de travail peut échouer.","composer.mode.worktree.tooltip":"Créez une copie de votre projet local pour travailler en parallèle.","composer.mode.worktreeSegment":"Arborescence de travail","composer.modelChangeDuringConversationWarning.toast":"Changer de modèle en cours de conversation dégradera la performance.","composer.newChat.heading.browser":"Que devrions-nous coder maintenant?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex utilise les autorisations définies dans config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex dispose d’un accès complet à votre ordinateur (risque élevé).","composer.permissionsDropdown.custom.label":"Personnalisé (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personnalisé (config.toml)","composer.permissionsDropdown.default.label":"Autorisations par défaut","composer.permissionsDropdown.default.optionLabel":"Autorisations par défaut","composer.permissionsDropdown.default.tooltip":"Codex exécute automatiquement les commandes dans un bac à sable.","composer.permissionsDropdown.disabled.requirements":"Les autorisations sont verrouillées par requirements.toml.","composer.permissionsDropdown.fullAccess.disabled":"L’accès complet a été désactivé par requirements.toml","composer.permissionsDropdown.fullAccess.label":"Accès complet","composer.permissionsDropdown.fullAccess.optionLabel":"Accès complet","composer.permissionsDropdown.trigger.tooltip":"Modifier les autorisations","composer.personalitySlashCommand.description.friendly":"Convivial, collaboratif et utile","composer.personalitySlashCommand.description.pragmatic":"Concis, axé sur les tâches et direct","composer.personalitySlashCommand.label.friendly":"Amical","composer.personalitySlashCommand.label.pragmatic":"Pragmatique","composer.personalitySlashCommand.notApplicableSuffix":"(Ne s’applique pas au modèle actuel)","composer.personalitySlashCommand.title":"Personnalité","composer.placeholder.cloudFollowUp.directFollowUp":"Suivi de cette tâche dans le nuage","composer.placeholder.cloudFollowUp.local":"Créer une nouvelle tâche locale qui fait référence à cette tâche dans le nuage.","composer.placeholder.cloudFollowUp.workingTree":"Créez une nouvelle tâche dans le nuage qui inclut votre code actuel et qui fera référence à cette tâche.","composer.placeholder.localFollowUp.cloud":"Assurer le suivi dans une nouvelle tâche dans le nuage","composer.placeholder.localFollowUp.locally":"Demander des modifications de suivi","composer.placeholder.newTask.cloud":"Demandez à Codex de faire quelque chose dans le nuage","composer.placeholder.newTask.doAnything":"Demandez à Codex de faire quelque chose","composer.placeholder.newTask.locally":"Demandez n’importe quoi à Codex, utilisez @ pour ajouter des fichiers, / pour les commandes","composer.planModeDropdown":"Mode plan","composer.planModeDropdown.ariaLabel":"Mode plan","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Créer un plan avec Codex","composer.planModeIndicator.tooltipToggle":"pour basculer","composer.planSlashCommand.disableDescription":"Désactiver le mode plan","composer.planSlashCommand.enableDescription":"Activer le mode plan","composer.planSlashCommand.title":"Mode plan","composer.priorContext.label":"Contexte précédent","composer.priorContext.removeAriaLabel":"Retirer le contexte précédent","composer.queuedMessage.delete":"Supprimer le message en attente","composer.queuedMessage.edit":"Modifier le message","composer.queuedMessage.more":"Actions sur les messages en attente","composer.queuedMessage.sendNow":"Diriger","composer.queuedMessage.sendNowTooltip":"Envoyer maintenant sans interrompre le travail","composer.queuedMessage.turnOff":"Désactiver la mise en file d’attente","composer.reasoningEffort.local.reasoning.tooltip":"Sélectionner la démarche de raisonnement","composer.remote.branchStartingPoint":"À partir de quelle branche la tâche doit-elle démarrer?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Créer une nouvelle tâche qui fait référence à cette tâche dans le nuage.","composer.remote.currentEditsSuffix.useLocal":"avec des modifications du code local","composer.remote.directFollowUp":"Ne pas utiliser les modifications locales","composer.remote.errorLoadingBranches":"Erreur de chargement des branches","composer.remote.fromBranch":"De {branch}","composer.remote.fromCurrentBranch":"De {branch} (actuelle)","composer.remote.loadingMoreBranches":"Chargement en cours…","composer.remote.localFileStateHeading":"État du fichier local","composer.remote.localWorkingTree":"Utiliser les modifications locales","composer.remote.startingPoint":"À partir de quel code la tâche doit-elle démarrer?","composer.reviewMode.branches.error":"Impossible de charger les branches","composer.reviewMode.branches.retry":"Réessayer","composer.reviewMode.gitRoot.error":"Racine Git introuvable","composer.reviewMode.option.baseBranch.simple":"Vérification en fonction d’une branche de base","composer.reviewMode.option.unstaged.simple":"Vérification des modifications non validées","composer.reviewMode.quickReviewError":"Échec du démarrage de la vérification du code.","composer.reviewMode.title":"Vérifier le code","composer.sandboxButton.unlock.disabled.tooltip":"L’accès complet a été désactivé par requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codez peut utiliser un bac à sable expérimental dans Windows afin de limiter l’accès au système de fichiers et au réseau. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Activer le bac à sable Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Utiliser la lecture seule","composer.searchEnvironments":"Recherche d’environnements","composer.skillMentionList.app":"Appli","composer.skillMentionList.loading":"Chargement des compétences en cours...","composer.skillMentionList.noResults":"Aucune compétence trouvée","composer.slashCommands.cloudEnvironment.title":"Environnement infonuagique","composer.slashCommands.dialogLabel":"Menu des commandes à barre oblique","composer.slashCommands.dialogTitle":"Commandes à barre oblique","composer.slashCommands.disabledTooltip":"Commencez une nouvelle conversation pour utiliser les commandes à barre oblique","composer.slashCommands.inputPlaceholder":"Rechercher","composer.slashCommands.noResults":"Aucune commande","composer.slashCommands.skillsGroup":"Compétences","composer.slashCommands.tooltip":"Parcourir les commandes à barre oblique","composer.status.close":"Fermer","composer.statusPlain.alertLabel":"Alerte :","composer.statusPlain.alertValue":"{remaining} % restant sur {window}","composer.statusPlain.contextLabel":"Contexte :","composer.statusPlain.contextTotal":"{count} K","composer.statusPlain.contextValueMetadata":"({used} utilisé/{total})","composer.statusPlain.contextValueRemaining":"{remaining} % restant","composer.statusPlain.heading":"État","composer.statusPlain.modelRateLimitSectionLabel":"limite de {modelName} :","composer.statusPlain.rateLimitDays":"Limite de {count} j","composer.statusPlain.rateLimitFallbackLabel":"Limite de fréquence :","composer.statusPlain.rateLimitHours":"Limite de {count} h","composer.statusPlain.rateLimitLabelBase":"Limite de fréquence","composer.statusPlain.rateLimitMinutes":"Limite de {count} m","composer.statusPlain.rateLimitPercent":"{remaining} % restant","composer.statusPlain.rateLimitReset":"se réinitialise à {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"réinitialisation de l’heure non disponible","composer.statusPlain.rateLimitUnavailable":"Non disponible","composer.statusPlain.sessionCopiedAriaLabel":"ID de session copiée","composer.statusPlain.sessionCopiedTooltip":"ID copié","composer.statusPlain.sessionCopyAriaLabel":"Copier l’ID de session","composer.statusPlain.sessionCopyTooltip":"Copier l’ID","composer.statusPlain.sessionLabel":"Session :","composer.statusSlashCommand.description":"Afficher l’ID du fil, ’'utilisation du contexte et les limites de fréquence","composer.statusSlashCommand.title":"État","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Impossible d’envoyer le message","composer.submit.emptyMessage":"Entrez un message pour commencer","composer.submit.imageInputsUnsupported":"Supprimer les images ou changer de modèle pour envoyer ce message.","composer.submit.loadingLocalConfig":"Chargement en cours…","composer.submit.missingCloudConfig":"Vous devez choisir un environnement infonuagique","composer.submit.missingCloudTurn":"Impossible de donner suite à cette tâche","composer.submit.noWorkspace":"Ajouter un projet pour utiliser Codex","composer.submit.waitForImageUploads":"Téléversement des images en cours...","composer.submitButtonTooltip.send":"Envoyer","composer.submitButtonTooltip.stop":"Arrêter","composer.worktreeEnvironment.create":"Créer un environnement local","composer.worktreeEnvironment.default":"Environnement par défaut","composer.worktreeEnvironment.error":"Erreur de chargement des environnements","composer.worktreeEnvironment.loading":"Chargement des environnements en cours","composer.worktreeEnvironment.title":"Environnement local","composer.worktreeEnvironment.tooltip":"Sélectionner un environnement local","composer.worktreeSetupFailed":"Échec de la configuration de l’arborescence de travail. Vérifiez .codex/environments pour obtenir un script de configuration.","compoundButton.secondaryAction":"Action secondaire","copyButton.copied":"Copié","copyButton.copiedAriaLabel":"Copié","copyButton.copy":"Copier","copyButton.copyAriaLabel":"Copier","copyButton.copyCode":"Copier le code","diff.actionButton.revertFile":"Récupérer le fichier","diff.actionButton.revertHunk":"Récupérer","diff.actionButton.revertSection":"Récupérer tout","diff.actionButton.revertSectionLabel":"Récupérer tout","diff.actionButton.stageFile":"Préparer un fichier","diff.actionButton.stageHunk":"Préparer","diff.actionButton.stageSection":"Préparer tout","diff.actionButton.stageSectionLabel":"Préparer tout","diff.actionButton.unstageFile":"Annuler la préparation d’un fichier","diff.actionButton.unstageHunk":"Annuler la préparation","diff.actionButton.unstageSection":"Annuler toute la préparation","diff.actionButton.unstageSectionLabel":"Annuler toute la préparation","diff.fileHeader.toggle":"Basculer entre les différences de fichier","electron.onboarding.login.apikey.cancel":"Annuler","electron.onboarding.login.apikey.continue":"Continuer","electron.onboarding.login.apikey.label":"Clé d’API OpenAI","electron.onboarding.login.apikey.open":"Entrer la clé d’API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Annuler l’ouverture de session","electron.onboarding.login.chatgpt.continue":"Continuer avec ChatGPT","electron.onboarding.login.devbox":"Connexion à distance par SSH","electron.onboarding.login.error":"Échec de connexion : {rawMessage}","electron.onboarding.login.snake.start":"Jouer à Snake","electron.onboarding.login.sshConfig.cancel":"Annuler","electron.onboarding.login.sshConfig.continue":"Continuer","electron.onboarding.login.sshConfig.hostnameLabel":"Nom d’hôte SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"La meilleure façon de créer avec des agents","electron.onboarding.login.title":"Bienvenue dans Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuer","electron.onboarding.welcome.doubleLimits.description":"Pour célébrer le lancement de l’application Codex, vous bénéficiez de limites de fréquence doublées jusqu’au 2 avril.","electron.onboarding.welcome.freego.description":"Codex est inclus gratuitement dans votre plan jusqu’au 2 mars. Commençons à créer ensemble.","electron.onboarding.welcome.new.title.anon":"Bienvenue!","electron.onboarding.workspace.continue":"Continuer","electron.onboarding.workspace.empty":"Ajouter un projet pour continuer.","electron.onboarding.workspace.listLabel":"Projets disponibles","electron.onboarding.workspace.loading":"Chargement des projets en cours...","electron.onboarding.workspace.openFolder":"Ajouter un projet","electron.onboarding.workspace.selectAll":"Sélectionner tout","electron.onboarding.workspace.skip":"Ignorer","electron.onboarding.workspace.skip.error":"Impossible de créer un nouveau projet : {message}","electron.onboarding.workspace.skip.error.unknown":"Erreur inconnue","electron.onboarding.workspace.skipping":"Création d’un nouveau projet en cours...","electron.onboarding.workspace.subtitle":"Codex pourra modifier des fichiers et exécuter des commandes dans les dossiers sélectionnés.","electron.onboarding.workspace.title":"Sélectionnez un projet","errorPage.list.checkSettings":"Essayez de mettre à jour les paramètres de votre IDE","errorPage.list.configToml":"Vérifiez que votre fichier config.toml ne contient pas de paramètres non valides","errorPage.list.downloadExtension":"Essayez de télécharger une autre version de l’extension.","errorPage.list.runInWsl":"Vérifiez vos paramètres pour désactiver l’exécution dans WSL si vous rencontrez des problèmes de compatibilité.","execApprovalRequest.menu.runAlways":"Oui, et ne plus me le demander pendant cette session.","execApprovalRequest.menu.runAlwaysWithAmendment":"Oui, et ne demandez plus les commandes qui commencent par {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Oui, et ne demandez plus les commandes qui commencent par","execApprovalRequest.menu.runOnce":"Oui","execApprovalRequest.prompt":"Voulez-vous exécuter cette commande?","execApprovalRequest.reject":"Non","execFooter.exitCode":"Quitter le code {code}","execFooter.exitCode.unknown":"inconnu","execFooter.success":"Réussite","feedback.dialog.category.badResult":"Mauvais résultat","feedback.dialog.category.bug":"Bogue","feedback.dialog.category.goodResult":"Bon résultat","feedback.dialog.category.other":"Autre","feedback.dialog.descriptionPlaceholder":"Décrivez le problème ici","feedback.dialog.dismiss":"Ignorer","feedback.dialog.includeLogsLabel":"Inclure les journaux de session Codex actuels","feedback.dialog.submit":"Soumettre","feedback.dialog.submitError":"Impossible d’envoyer vos commentaires. Veuillez réessayer dans quelques instants.","feedback.dialog.title":"Commentaire","feedback.dialog.uploadedMessage.existingIssue":"problème existant","feedback.dialog.uploadedMessage.openIssue":"ouvrir un problème GitHub","feedback.dialog.uploadedMessage.withThread":"Commentaire envoyé. Si le problème persiste, veuillez {openIssueLink} ou mentionner l’ID du fil dans un {existingIssueLink} :","feedback.dialog.uploadedTitle":"Commentaire téléversé","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Retirer {filename}","header.back":"Retour","header.recentChats":"Tâches","header.recentTasks.seeAll":"Afficher tout ({total})","home.header.getPlus":"Obtenir Plus","home.hero.letsBuild":"Créons ensemble","homePage.mainContent":"Contenu principal","imageAttachment.defaultName":"image","imageAttachment.preview.close":"Fermer la prévisualisation de l’image","imageAttachment.removeAriaLabel":"Retirer {filename}","implementPlanRequest.option.implement":"Oui, mettre en œuvre ce plan","implementPlanRequest.prompt":"Mettre en œuvre ce plan?","inbox.archived.deleteError":"Impossible de supprimer l’exécution archivée","inbox.archived.deleteRun":"Supprimer l’exécution archivée","inbox.archived.deleteSuccess":"Fil archivé supprimé. Afficher dans <settingsLink>Fils archivés</settingsLink>.","inbox.archived.inlineLabel.auto":"Ce fil a été archivé automatiquement. <learnMoreLink>En savoir plus</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ce fil a été archivé.","inbox.archived.noMessageFound":"Aucun message trouvé","inbox.automations.createError":"Impossible de créer l’automatisation","inbox.automations.deleteConfirm.cancel":"Annuler","inbox.automations.deleteConfirm.confirm":"Supprimer l’automatisation","inbox.automations.deleteConfirm.description":"Cela supprimera définitivement l’automatisation et mettra fin à toute exécution future.","inbox.automations.deleteConfirm.title":"Supprimer {name}?","inbox.automations.deleteError":"Impossible de supprimer l’automatisation","inbox.automations.editTooltip":"Modifier l’automatisation","inbox.automations.inProgress":"En cours de traitement","inbox.automations.new":"Nouveau","inbox.automations.newToolbar":"Nouvelle automatisation","inbox.automations.pauseTooltip":"Interrompre l’automatisation","inbox.automations.resumeTooltip":"Reprendre l’automatisation","inbox.automations.startingNow":"À partir de maintenant","inbox.automations.startsIn":"Débute dans {startTime}","inbox.automations.status.active":"Actif","inbox.automations.status.paused":"En attente","inbox.automations.status.runs":"{count} exécutions","inbox.automations.status.started":"Lancée le {date}","inbox.automations.updateError":"Impossible de mettre à jour l’automatisation","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tout","inbox.filter.ariaLabel":"Filtrer les éléments de la boîte de réception","inbox.filter.unread":"Non lu","inbox.list.archived":"Mémoire archivée","inbox.list.inProgress":"En cours de traitement","inbox.list.recent":"Terminé","inbox.list.upNext":"Programmée","inbox.mode.automations":"Automatisations","inbox.mode.automations.beta":"Bêta","inbox.noDescription":"Aucune description fournie","inbox.openThread":"Ouvrir le fil","inbox.rightPanel.emptySubtitle":"Automatisez votre travail en configurant des tâches planifiées","inbox.rightPanel.emptySubtitle.learnMore":"Automatisez votre travail en configurant des fils planifiés. <link>En savoir plus</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatisation active} many {# automatisations actives} other {# automatisations actives}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Aucune automatisation non lue","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatisation non lue} many {# automatisations non lues} other {# automatisations non lues}}","inbox.rightPanel.emptyTitle":"Aucun élément sélectionné","inbox.rightPanel.noThread":"Aucun fil pour cet élément","inbox.rightPanel.quickStart.header":"Commencer avec un modèle","inbox.untitled":"Élément de boîte de réception sans titre","loadingPage.documentationLink":"documentation","loadingPage.errorDescription":"Codex a planté avec l’erreur suivante :","loadingPage.errorDescription.documentation":"Cliquez sur Actualiser pour redémarrer l’extension Codex, ou rendez-vous sur notre {documentationLink} pour obtenir de l’aide supplémentaire.","loadingPage.errorSignal":"Quelques solutions à essayer :","loadingPage.errorTitle":"Une erreur s’est produite","loadingPage.openConfigToml":"Ouvrir Config.toml","loadingPage.reload":"Actualiser","localConversation.contextCompacted":"Contexte automatiquement compressé","localConversation.contextCompacting":"Compression automatique du contexte","localConversation.forkedFromConversation":"Dupliqué de {threadTitle}","localConversation.merge.autoResolve.failed":"Impossible d’envoyer la demande de résolution automatique : {error}","localConversation.merge.autoResolve.sent":"Demande de résolution automatique envoyée","localConversation.merge.autoResolveMerge.missingConversation":"Impossible d’effectuer une résolution automatique sans session de clavardage active.","localConversation.merge.autoResolveMerge.request":"Résoudre automatiquement les conflits de fusion","localConversation.modelChanged":"Modèle changé de {fromModel} à {toModel}.","localConversation.modelChanged.warning.line1":"Changer de modèle en cours de conversation dégradera la performance.","localConversation.modelChanged.warning.line2":"Contexte peut être compressé automatiquement","localConversation.moveThread.createBranch.label":"Créer une branche","localConversation.moveToLocal.disabled.loading":"Chargement en cours…","localConversation.moveToLocal.modal.continue":"Continuer","localConversation.moveToLocal.modal.destinationLabel":"Déplacer vers","localConversation.moveToLocal.modal.retry":"Réessayer","localConversation.moveToWorktree.modal.back":"Retour","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Cette branche existe déjà.","localConversation.moveToWorktree.modal.branchesError":"Impossible de charger les branches","localConversation.moveToWorktree.modal.branchesLoading":"Chargement des branches en cours...","localConversation.moveToWorktree.modal.branchesRetry":"Réessayer","localConversation.moveToWorktree.modal.continue":"Continuer","localConversation.moveToWorktree.modal.retry":"Réessayer","localConversation.moveToWorktree.modal.trailingSlashError":"Le nom de la branche ne peut pas se terminer par « / ».","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"Passé à la personnalité {personality}","localConversation.planSummary.collapse":"Réduire le sommaire du plan","localConversation.planSummary.collapseTooltip":"Réduire","localConversation.planSummary.download":"Télécharger le plan","localConversation.planSummary.expand":"Développer le sommaire du plan","localConversation.planSummary.expandTooltip":"Développer","localConversation.planSummary.openInNewWindow":"Ouvrir","localConversation.planSummary.openInNewWindow.tooltip":"Ouvrir dans une nouvelle fenêtre","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plan d’écriture","localConversation.planSummary.viewPlan":"Développer le plan","localConversation.remoteTaskCreated":"Créé {taskLink} dans Codex Cloud","localConversation.remoteTaskCreated.task":"tâche","localConversation.scrollToBottomButton":"Faire défiler jusqu’en bas","localConversation.sync.buttonLabel":"Transfert vers le répertoire local","localConversation.sync.buttonLabel.tooltip":"Transférer les modifications entre cette arborescence de travail et votre extraction locale.","localConversation.sync.modal.loading.title":"Transfert des modifications en cours...","localConversation.sync.modal.noChanges":"Aucune modification","localConversation.syncSetup.branchAriaLabel":"Nom de la branche","localConversation.syncSetup.branchName":"Nom de la branche","localConversation.syncSetup.branchPlaceholder.existing":"Sélectionner la branche existante","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Chargement des branches en cours...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Extraction déjà effectuée","localConversation.syncSetup.checkoutClean":"Actuellement sur {branchName}","localConversation.syncSetup.checkoutDirty":"Actuellement sur {branchName} avec des modifications non validées","localConversation.syncSetup.checkoutError":"Échec de l’extraction de la branche : {message}","localConversation.syncSetup.checkoutLabel":"Effectuer une extraction local maintenant","localConversation.syncSetup.checkoutOnLocal":"Transfert vers le répertoire local","localConversation.syncSetup.checkoutPending":"Vérification de l’état local...","localConversation.syncSetup.checkoutUnavailable":"Espace de travail local non disponible","localConversation.syncSetup.checkoutUnknown":"Branche local non disponible","localConversation.syncSetup.continue":"Continuer","localConversation.syncSetup.createBranchError":"Échec de la configuration de la branche de transfert : {message}","localConversation.syncSetup.error":"Un problème s’est produit : {message}","localConversation.syncSetup.error.workingTreeMissing":"Impossible de créer un cliché instantané de l’arborescence de travail. Veuillez réessayer le transfert.","localConversation.syncSetup.mode.ariaLabel":"Sélectionner le mode de branche","localConversation.syncSetup.mode.existing":"Branche existante","localConversation.syncSetup.mode.new":"Nouvelle branche","localConversation.syncSetup.noBranches":"Aucune branche trouvée","localConversation.syncSetup.overwriteError":"La branche a été créée mais n’est pas entièrement transférée. Transférez manuellement avant de l’extraire localement.","localConversation.syncSetup.setPrefix":"Définir le préfixe","localConversation.syncSetup.subtitle":"Tester et modifier les modifications de l’arborescence de travail localement. <a>En savoir plus</a>","localConversation.syncSetup.success.checkedOut":"La branche a été créée et extraite localement","localConversation.syncSetup.success.notCheckedOut":"Branche créée","localConversation.syncSetup.title":"Transférer vers une branche locale","localConversation.syncWorktreeError.branchAriaLabel":"Nom de la branche","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Choisissez une branche vers laquelle transférer, puis réessayez de charger les modifications.","localConversation.syncWorktreeError.branchSetup.title":"Mettre à jour la branche","localConversation.syncWorktreeError.branchUpdate.cta":"Mettre à jour et réessayer","localConversation.syncWorktreeError.branchUpdate.error":"Échec de la mise à jour de la branche : {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Un problème s’est produit : {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"La branche n’est extraite dans aucune arborescence de travail.","localConversation.syncWorktreeV2.applyUncommitted":"Appliquer","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Vous devez extraire la branche localement pour appliquer les modifications non validées","localConversation.syncWorktreeV2.branches.empty":"Aucune branche trouvée","localConversation.syncWorktreeV2.branches.loading":"Chargement des branches en cours...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Modifier la branche de transfert","localConversation.syncWorktreeV2.changeBranch.error":"Échec du transfert de la branche : {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Échec de l’application","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Échec de la réécriture de l’arborescence de travail","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Échec de la réécriture locale","localConversation.syncWorktreeV2.commandError.back":"Retour","localConversation.syncWorktreeV2.commandError.body":"Une commande git a échoué pendant le transfert. Vérifiez le résultat et réessayez.","localConversation.syncWorktreeV2.commandError.retry":"Réessayer","localConversation.syncWorktreeV2.description":"Transférer les modifications entre l’arborescence locale et celle-ci. <a>En savoir plus</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Sélectionner le sens du transfert","localConversation.syncWorktreeV2.error.generic":"Une erreur s’est produite pendant le transfert. Veuillez réessayer.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"Calcul des modifications","localConversation.syncWorktreeV2.noChanges.summary":"Aucune modification","localConversation.syncWorktreeV2.overwrite.local":"Réécrire localement","localConversation.syncWorktreeV2.overwrite.worktree":"Réécrire l’arborescence de travail","localConversation.syncWorktreeV2.partial.action.applyFailed":"Impossible d’appliquer les modifications","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Impossible de remplacer les modifications locales","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Impossible de remplacer les modifications de l’arborescence de travail","localConversation.syncWorktreeV2.partial.appliedLabel":"Appliqué","localConversation.syncWorktreeV2.partial.back":"Retour","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Résolvez les conflits et réessayez.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflits","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","localConversation.syncWorktreeV2.partial.retry":"Réessayer","localConversation.syncWorktreeV2.partial.skippedLabel":"Ignoré","localConversation.syncWorktreeV2.stateFailed.generic":"Une erreur s’est produite lors de la récupération des modifications de l’arborescence de travail à transférer. Veuillez réessayer.","localConversation.syncWorktreeV2.stateFailed.title":"Échec du chargement des modifications de l’arborescence de travail.","localConversation.syncWorktreeV2.statusError.diffUnknown":"Échec du chargement des modifications de l’arborescence de travail.","localConversation.syncWorktreeV2.statusError.retry":"Réessayer","localConversation.syncWorktreeV2.statusError.title":"Impossible de charger les modifications de la branche locale","localConversation.syncWorktreeV2.statusError.unknown":"Le statut de la branche n’est pas disponible pour le moment. Veuillez réessayer.","localConversation.syncWorktreeV2.success.apply":"Modifications appliquées","localConversation.syncWorktreeV2.success.overwrite":"Transfert effectué","localConversation.syncWorktreeV2.title":"Transfert des modifications","localConversation.syncWorktreeV2.worktreeLabel":"Arborescence de travail","localConversation.userInputRequest.inProgress":"Demander {count, plural, one {une question} many {des questions} other {des questions}}","localConversation.userInputRequest.noAnswer":"Aucune réponse fournie","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Demandée(s)","localConversation.userInputRequest.summary.count":"{count, plural, one {# question} many {# questions} other {# questions}}","localConversation.workedFor":"A travaillé pendant {time}","localConversation.worktreeBranchSetup.action.create":"Créer","localConversation.worktreeBranchSetup.branchAriaLabel":"Nom de la branche","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Créer une nouvelle branche","localConversation.worktreeBranchSetup.checkoutDisabled":"Cette branche est déjà extraite sur {location}","localConversation.worktreeBranchSetup.checkoutError":"Échec de l’extraction de la branche : {message}","localConversation.worktreeBranchSetup.createBranchError":"Échec de la configuration de la branche : {message}","localConversation.worktreeBranchSetup.error":"Un problème s’est produit : {message}","localConversation.worktreeBranchSetup.subtitle":"Créez une branche pour valider les modifications, pousser et créer une PR à partir de cette arborescence de travail. <a>En savoir plus</a>","localConversation.worktreeBranchSetup.title":"Travailler ici","localConversationPage.addWorktreeToSidebar.tooltip":"Enregistrer en tant que projet afin de pouvoir créer de nouveaux fils à partir de cette arborescence de travail.","localConversationPage.addWorktreeToSidebarError":"Échec de l’ajout du projet.","localConversationPage.commitAndCreatePrModal.errorTitle":"Échec de la validation et de la création de la PR","localConversationPage.commitAndCreatePrModal.successTitle":"Validation effectuée et PR créée","localConversationPage.commitAndPushModal.errorTitle":"Échec de la validation et du push","localConversationPage.commitAndPushModal.successTitle":"Modifications validées et push","localConversationPage.commitCreatePr.open":"Ouvrir la pull request","localConversationPage.commitCreatePr.successTitle":"PR créée avec vos dernières modifications","localConversationPage.createBranchButtonLabel":"Brancher ici","localConversationPage.createPrModal.baseBranch":"Branche cible","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Créer une PR","localConversationPage.createPrModal.createDescription":"Ouvrez une pull request pour vos dernières modifications.","localConversationPage.createPrModal.errorTitle":"Échec de la pull request","localConversationPage.createPrModal.headBranch":"Branche source","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Ouvrir la PR","localConversationPage.createPrModal.successTitle":"Pull request créée","localConversationPage.createPrModal.title":"Créer une pull request","localConversationPage.createPrModal.viewDescription":"Une pull request existe déjà pour cette branche.","localConversationPage.createPrModal.viewTitle":"Pull request prête","localConversationPage.createPullRequestAuthGh":"Authentifiez GitHub CLI : exécutez `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informations sur la branche non disponibles","localConversationPage.createPullRequestButtonLabel":"Créer une demande de tirage","localConversationPage.createPullRequestButtonLabel.loading":"Création d’une demande de tirage en cours...","localConversationPage.createPullRequestDefaultBranchMissing":"Informations sur la branche par défaut non disponibles","localConversationPage.createPullRequestError":"Échec de la création de la demande de tirage","localConversationPage.createPullRequestExistingPullRequest":"Une pull request existe déjà pour cette branche.","localConversationPage.createPullRequestGhStatusMissing":"Chargement de l’état de GitHub CLI en cours...","localConversationPage.createPullRequestInstallGh":"Installer GitHub CLI (gh) pour créer des PR","localConversationPage.createPullRequestNoRepo":"Aucun référentiel git trouvé","localConversationPage.createPullRequestPushStatusMissing":"Chargement de l’état du push…","localConversationPage.createPullRequestSetUpstream":"Poussez cette branche avant de créer une PR","localConversationPage.createPullRequestSuccessToast":"Pull request créée","localConversationPage.createPullRequestSwitchBranch":"Sélectionnez une branche de fonctionnalité avant de créer une PR","localConversationPage.error.render":"Erreur lors du rendu de la conversation locale","localConversationPage.error.toast":"Conversation introuvable","localConversationPage.forcePushError":"Échec du push forcé","localConversationPage.generatePullRequestMessageError":"Échec de génération du titre et du corps de la demande de tirage.","localConversationPage.generatePullRequestMessageFailed":"Échec de génération du titre et du corps de la demande de tirage.","localConversationPage.gitActionResult.branch":"Branche","localConversationPage.gitActionResult.cancel":"Annuler","localConversationPage.gitActionResult.close":"Fermer","localConversationPage.gitActionResult.tryAgain":"Réessayer","localConversationPage.gitActions":"Actions Git","localConversationPage.newChat":"Nouvelle session de clavardage","localConversationPage.openInTarget":"Ouvrir dans","localConversationPage.openPrimaryTarget":"Ouvrir","localConversationPage.planItemsCompleted":"{completedItems} de {totalItems, plural, one {# tâche terminée} many {# tâches terminées} other {# tâches terminées}}","localConversationPage.pushAuthError":"Échec du push : authentification requise","localConversationPage.pushBranchMissing":"Informations sur la branche non disponibles","localConversationPage.pushButtonLabel":"Notification poussée","localConversationPage.pushButtonLabel.loading":"Pousser...","localConversationPage.pushError":"Échec du push des modifications","localConversationPage.pushModal.branchLabel":"Branche","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Annuler","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Effectuez un push de vos derniers commits vers le dépôt distant.","localConversationPage.pushModal.errorTitle":"Échec du push","localConversationPage.pushModal.forcePush":"Push forcé","localConversationPage.pushModal.successTitle":"Push terminé","localConversationPage.pushModal.title":"Push des modifications","localConversationPage.pushModal.tryAgain":"Réessayer","localConversationPage.pushNoUpstream":"Définissez un élément en amont avant de pousser cette branche","localConversationPage.pushNoUpstreamError":"Échec du push : aucun upstream configuré","localConversationPage.pushNothingToPush":"Aucune nouvelle validation à pousser","localConversationPage.pushRemoteChangedError":"Échec du push : le dépôt distant contient de nouveaux commits","localConversationPage.pushRemoteRejectedError":"La notification poussée rejetée par la connexion distante","localConversationPage.pushStatusMissing":"Chargement de l’état du push…","localConversationPage.pushSuccessToast":"Modifications poussées","localConversationPage.viewPullRequestButtonLabel":"Afficher la PR","localConversationPage.viewPullRequestButtonLabel.loading":"Chargement d’une demande de tirage en cours...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liste} many {# listes} other {# listes}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# recherche} many {# recherches} other {# recherches}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Exploration en cours","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Exploré","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} exploré(s)","localConversationTurnStory.showContent":"Afficher le contenu","localConversationTurnStory.streamContent":"Diffuser le contenu","localConversationTurnStory.toggleReasoning":"Afficher le raisonnement","localTaskRow.archiveError":"Échec de l’archivage de la conversation","localTaskRow.resumeError":"Échec de la reprise de la tâche","mermaidDiagram.ariaLabel":"Diagramme Mermaid","mermaidDiagram.copySource":"Copier Mermaid","mermaidDiagram.originalCode":"Code source Mermaid","notifications.permissions.description":"Afficher des alertes lorsque des autorisations de notification sont requises","notifications.permissions.label":"Activer les notifications d’autorisation","notifications.turnMode.always":"Toujours","notifications.turnMode.description":"Définir lorsque Codex vous indique que c’est terminé.","notifications.turnMode.label":"Notifications de la fin de l’exécution","notifications.turnMode.off":"Jamais","notifications.turnMode.unfocused":"Uniquement lorsque non ciblée","patchApprovalRequest.approve":"Approuver","patchApprovalRequest.menu.allowAlways":"Oui, et ne plus me le demander pendant cette session.","patchApprovalRequest.menu.allowForSession":"Oui, et ne plus me le demander pendant cette session.","patchApprovalRequest.menu.allowOnce":"Oui","patchApprovalRequest.prompt":"Voulez-vous apporter ces modifications?","patchApprovalRequest.reject":"Non","patchApprovalRequest.waitingForApproval":"En attente d’approbation pour modifier les fichiers","pendingRequest.approvalExec.collapse":"Réduire","pendingRequest.approvalExec.expand":"Développer","pendingRequestStory.toastAnswer":"Réponse : {answer}","pendingRequestStory.toastApprovalTitle":"Réponse d’approbation","pendingRequestStory.toastFollowupPrompt":"Requête : {prompt}","pendingRequestStory.toastFollowupTitle":"Suivi envoyé","pendingRequestStory.toastNoAnswers":"Aucune réponse fournie","pendingRequestStory.toastQuestion":"Question : {question}","pendingRequestStory.toastUnknownDecision":"Inconnu","pendingRequestStory.toastUserInputTitle":"Soumettre les réponses","quickAction.request.codeReview.branches.new":"Veuillez vérifier les modifications sur {from} en fonction de {to}","quickAction.request.codeReview.uncommitted.new":"Veuillez vérifier mes modifications non validées","reasoningItem.thinking":"En réflexion","reasoningItem.thought":"Pensée","reasoningItem.thoughtWithElapsed":"Pensée pour {elapsed}","recentConversations.title":"Conversations récentes","recentTasks.worktreeInitFailedTitle":"L’initialisation de l’arborescence de travail a échoué","recentTasks.worktreeSettingUpTitle":"Configuration de l’arborescence de travail","requestInputPanel.continue":"Continuer","requestInputPanel.dismiss":"Ignorer","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Tapez ici","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Non, et indiquez à Codex ce qu’il faut faire différemment","requestInputPanel.selectedBadge":"Sélectionné(s)","requestInputPanel.skip":"Ignorer","requestInputPanel.submit":"Soumettre","review.commit.ariaLabel.includeUnstaged":"Inclure les modifications non indexées","review.commit.buttonLabel":"Validation","review.commit.disabled.committing":"Validation en cours...","review.commit.disabled.loadingDiff":"Chargement des différences en cours…","review.commit.disabled.missingContext":"Ajoutez du contexte pour générer un message de validation.","review.commit.disabled.noChanges":"Aucune modification à la validation","review.commit.disabled.noSelection":"Sélectionner les modifications à valider","review.commit.disabled.unavailable":"La validation n’est pas disponible pour le moment","review.commit.error":"Échec de la validation des modifications","review.commit.form.changesToBeCommitted":"Modifications","review.commit.form.commitTo":"Branche","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuer","review.commit.form.title":"Valider vos modifications","review.commit.generate.emptyResponse":"Impossible de générer un message de validation.","review.commit.generate.failed":"Échec de génération du message de validation : {error}","review.commit.generate.missingPrompt":"Ajoutez du contexte pour générer un message de validation.","review.commit.includeUnstaged":"Inclure les modifications non indexées","review.commit.loading.description":"Veuillez patienter, cela peut prendre un certain temps.","review.commit.loading.step.commit.done":"Modifications non validées","review.commit.loading.step.commit.pending":"Validation des modifications","review.commit.loading.step.createPr.done":"Pull request créée","review.commit.loading.step.createPr.pending":"Création d’une pull request en cours","review.commit.loading.step.push.done":"Push effectué vers la branche {branch}","review.commit.loading.step.push.pending":"Push vers la branche {branch} en cours","review.commit.loading.title.commit":"Validation des modifications","review.commit.loading.title.createPr":"Création d’une PR","review.commit.loading.title.push":"Push des modifications en cours","review.commit.messageLabel":"Message de validation","review.commit.messagePlaceholder":"Laisser vide pour générer automatiquement un message de validation.","review.commit.nextSteps":"Prochaines étapes","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Valider et créer une PR","review.commit.nextSteps.commitAndPush":"Valider et effectuer un push","review.commit.nextSteps.prRequiresGh":"Nécessite GitHub CLI : {command}","review.commit.rows.changes":"Modifications","review.commit.rows.commitCount":"{count, plural, one {# validation} many {# validations} other {# validations}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# validation} many {# validations} other {# validations}} et {stats}","review.commit.rows.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","review.commit.state.error.body":"Une erreur s’est produite lors de la validation. Vérifiez votre statut git et réessayez.","review.commit.state.error.title":"Échec de la validation","review.commit.state.success.title":"Modifications validées","review.commit.untracked.loadingStats":"Chargement des statistiques diff non suivies…","reviewFindingAttachments.count":"{count, plural, one {# résultat} many {# résultats} other {# résultats}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Modifiez votre configuration pour personnaliser le comportement de l’agent","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"Redémarrer Codex après modification pour appliquer les changements","settings.agent.configuration.subtitle":"Ces paramètres s’appliquent partout où Codex est utilisé.","settings.automations.banner.danger":"Les automatisations s’exécutent avec vos paramètres de bac à sable par défaut, qui sont actuellement définis sur Accès complet. L’exécution d’automatisations en arrière-plan avec un accès complet comporte un risque élevé, car Codex peut modifier des fichiers, exécuter des commandes et accéder au réseau sans demander l’autorisation. Envisagez de mettre à jour les paramètres du bac à sable pour autoriser l’écriture dans l’espace de travail et d’utiliser des <rulesDocsLink>règles</rulesDocsLink> pour définir de manière sélective les commandes que l’agent peut exécuter avec un accès complet.","settings.automations.banner.defaultHowTo.default":"Les automatisations s’exécutent avec vos paramètres par défaut du bac à sable. Les appels d’outils échoueront s’ils nécessitent de modifier des fichiers en dehors de l’espace de travail, d’accéder au réseau ou d’utiliser des applications sur votre ordinateur. Vous pouvez autoriser de manière sélective l’exécution de commandes en dehors du bac à sable à l’aide de <rulesDocsLink>règles</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Les automatisations s’exécutent avec vos paramètres de bac à sable par défaut, qui sont définis en lecture seule. Les appels aux outils échoueront s’ils nécessitent de modifier des fichiers, d’accéder au réseau ou d’utiliser des applications sur votre ordinateur. Envisagez de mettre à jour les paramètres du bac à sable pour autoriser l’écriture dans l’espace de travail.","settings.automations.cancel":"Annuler","settings.automations.create":"Créer","settings.automations.cwdEmpty":"Aucun dossier de projet disponible.","settings.automations.cwdLabel":"Projets","settings.automations.cwdPlaceholder":"Choisissez un dossier","settings.automations.cwdSubtitle":"Si vous souhaitez qu’une automatisation s’exécute sur une branche spécifique, vous pouvez le spécifier dans votre requête.","settings.automations.delete":"Supprimer","settings.automations.dialog.editTitle":"Modifier l’automatisation","settings.automations.dialog.newTitle":"Nouvelle automatisation","settings.automations.dialog.subtitle":"Automatisez les tâches récurrentes en arrière-plan. Codex ajoute les résultats à la boîte de réception ou archive automatiquement la tâche s’il n’y a rien à signaler. <learnMoreLink>En savoir plus</learnMoreLink>","settings.automations.dialog.title":"Créer une automatisation","settings.automations.executionCopy.git":"Les automatisations s’exécutent en arrière-plan sur des arborescences de travail dédiées.","settings.automations.executionCopy.nonGit":"Les automatisations dans les projets non contrôlés par version s’exécutent directement dans le répertoire du projet. Envisagez d’utiliser Git pour permettre l’exécution sur des arborescences de travail en arrière-plan.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Arborescence de travail","settings.automations.loading":"Chargement en cours…","settings.automations.nameLabel":"Nom","settings.automations.namePlaceholder":"Vérifiez les problèmes signalés par Sentry","settings.automations.pause":"Pause","settings.automations.promptLabel":"Requête","settings.automations.promptPlaceholder":"rechercher les plantages dans $Sentry","settings.automations.resume":"Reprendre","settings.automations.rruleSummaryFallback":"Calendrier personnalisé","settings.automations.runNow":"Test","settings.automations.save":"Enregistrer","settings.automations.scheduleBadge.dayCount":"{count} j","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Les jours de la semaine","settings.automations.scheduleBadge.weekends":"La fin de semaine","settings.automations.scheduleHeader":"Calendrier","settings.automations.scheduleHours":"heures","settings.automations.scheduleLabel":"Exécuter chaque","settings.automations.scheduleMode.daily":"Tous les jours","settings.automations.scheduleMode.interval":"Intervalle","settings.automations.scheduleModeLabel":"Type de calendrier","settings.automations.scheduleSummary.daily":"Tous les jours à {time}","settings.automations.scheduleSummary.interval":"Chaque {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# jour} many {# jour} other {# jour}}","settings.automations.scheduleSummary.intervalDays":"{interval} le {days}","settings.automations.scheduleSummary.intervalHourly":"Chaque heure","settings.automations.scheduleSummary.singleDay":"{day} à {time}","settings.automations.scheduleSummary.weekdays":"Les jours de la semaine à {time}","settings.automations.scheduleSummary.weekdaysLabel":"les jours de la semaine","settings.automations.scheduleSummary.weekends":"La fin de semaine à {time}","settings.automations.scheduleSummary.weekendsLabel":"la fin de semaine","settings.automations.scheduleSummary.weekly":"{days} à {time}","settings.automations.scheduleWeekdays":"Activé","settings.automations.weekdayState.excluded":"Exclusion","settings.automations.weekdayState.included":"Inclusion","settings.conversationDetail.steps":"Étapes","settings.conversationDetail.steps.description":"Masquer les commandes et les sorties","settings.conversationDetail.stepsWithCommands":"Étapes avec commandes de code","settings.conversationDetail.stepsWithCommands.description":"Afficher les commandes, réduire la sortie","settings.conversationDetail.stepsWithOutput":"Étapes avec sortie de code","settings.conversationDetail.stepsWithOutput.description":"Afficher les commandes et développer la sortie","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Aucun clavardage archivé.","settings.dataControls.archivedChats.error":"Impossible de charger les clavardages archivés.","settings.dataControls.archivedChats.loading":"Chargement des clavardages archivés en cours...","settings.dataControls.archivedChats.unarchive":"Désarchiver","settings.dataControls.archivedChats.unarchiveError":"Impossible de désarchiver le clavardage","settings.dataControls.archivedChats.unarchiveSuccess":"Fil non archivé. <viewNowLink>Afficher maintenant</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Fil non archivé.","settings.dataControls.archivedChats.untitled":"Clavardage sans titre","settings.dataControls.archivedChats.viewNow":"Afficher maintenant","settings.editRow.headerPlaceholder":"Clé","settings.editRow.removeEntry":"Retirer l’entrée","settings.editRow.valuePlaceholder":"Valeur","settings.general.appearance":"Apparence","settings.general.appearance.codeFont":"Police du code","settings.general.appearance.codeFont.description":"Ajuster la police et la taille utilisée pour le code dans les sessions de clavardage et les différences","settings.general.appearance.codeFontFamily":"Groupe de polices de caractères","settings.general.appearance.codeFontSize":"Taille de la police du code","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Faire en sorte que les fenêtres utilisent un arrière-plan uni plutôt que la translucidité du système","settings.general.appearance.opaqueWindows.label":"Utiliser un arrière-plan opaque pour les fenêtres","settings.general.appearance.sansFontFamily":"Groupe de polices Sans","settings.general.appearance.sansFontFamily.description":"Ajuster la police utilisée pour l’interface utilisateur Codex","settings.general.appearance.sansFontSize":"Taille de police Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Afficher les effets de célébration en plein écran pendant que GPT-5.3-Codex-Spark exécute le premier échange","settings.general.appearance.sparkCelebrationEffects.label":"Effets de célébration avec Spark","settings.general.appearance.theme":"Thème","settings.general.appearance.theme.dark":"Foncé","settings.general.appearance.theme.description":"Utilisez des couleurs claires, foncées ou assorties à votre système","settings.general.appearance.theme.light":"Clair","settings.general.appearance.theme.system":"Système","settings.general.appearance.usePointerCursors.description":"Remplacer le curseur par un pointeur lorsque vous survolez des éléments interactifs","settings.general.appearance.usePointerCursors.label":"Utiliser des curseurs pointeurs","settings.general.enterBehavior.description":"Lorsqu’elles sont activées, les requêtes à plusieurs lignes nécessitent {modifierSymbol} + Entrée pour être envoyées.","settings.general.enterBehavior.label":"Nécessite {modifierSymbol} + Entrée pour envoyer de longues requêtes","settings.general.experimentalFeatures":"Fonctionnalités expérimentales (bêta)","settings.general.experimentalFeatures.empty":"Aucune fonctionnalité expérimentale bêta disponible.","settings.general.experimentalFeatures.loading":"Chargement des fonctionnalités expérimentales en cours...","settings.general.experimentalFeatures.restartNote":"Redémarrez Codex pour appliquer les modifications expérimentales apportées aux fonctionnalités.","settings.general.experimentalFeatures.toggle":"Basculer vers {featureName}","settings.general.followUpQueueMode.description":"Mettre en file d’attente les suivis pendant l’exécution de Codex ou diriger l’exécution en cours. Appuyer sur {invertFollowUpShortcutLabel} pour faire l’inverse pour un message.","settings.general.followUpQueueMode.interrupt":"Diriger","settings.general.followUpQueueMode.label":"Mesures de suivi","settings.general.followUpQueueMode.queue":"File d'attente","settings.general.notifications":"Notifications","settings.general.power.preventSleepWhileRunning.description":"Ne mettez pas votre ordinateur en veille pendant que Codex exécute un fil.","settings.general.power.preventSleepWhileRunning.label":"Empêchez la mise en veille pendant l’exécution.","settings.git.branchPrefix.ariaLabel":"Préfixe de branche","settings.git.branchPrefix.description":"Préfixe utilisé lors de la création de nouvelles branches dans Codex","settings.git.branchPrefix.label":"Préfixe de branche","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Échec de l’enregistrement du préfixe de branche","settings.git.branchPrefix.save.success":"Préfixe de branche enregistré","settings.git.commitInstructions.ariaLabel":"Valider les instructions","settings.git.commitInstructions.description":"Ajouté aux requêtes de génération de messages de validation","settings.git.commitInstructions.label":"Valider les instructions","settings.git.commitInstructions.placeholder":"Ajouter des conseils pour les messages de validation…","settings.git.commitInstructions.save":"Enregistrer","settings.git.commitInstructions.save.error":"Impossible d’enregistrer les instructions de validation","settings.git.commitInstructions.save.success":"Instructions de validation enregistrées","settings.git.forcePush.ariaLabel":"Toujours forcer le pousser","settings.git.forcePush.description":"Utilisez --force-with-lease lors du push depuis Codex","settings.git.forcePush.label":"Toujours forcer le pousser","settings.git.forcePush.save.disabled":"Toujours forcer le pousser : désactivé","settings.git.forcePush.save.enabled":"Toujours forcer le pousser : activé","settings.git.forcePush.save.error":"Échec de l’enregistrement du paramètre « Toujours forcer le pousser »","settings.git.prInstructions.ariaLabel":"Instructions pour la demande de tirage","settings.git.prInstructions.description":"Ajouté aux corps des demandes de tirage créés par Codex","settings.git.prInstructions.label":"Instructions pour la demande de tirage","settings.git.prInstructions.placeholder":"Ajouter des conseils pour les demandes de tirage…","settings.git.prInstructions.save":"Enregistrer","settings.git.prInstructions.save.error":"Échec d’enregistrement des instructions pour la demande de tirage","settings.git.prInstructions.save.success":"Instructions pour la demande de tirage enregistrées","settings.ide.defaultOpenTarget.description":"Emplacement des fichiers et dossiers ouverts par défaut","settings.ide.defaultOpenTarget.label":"Destination d’ouverture par défaut","settings.ide.defaultOpenTarget.placeholder":"Aucune cible trouvée","settings.ide.language.auto":"Détection automatique","settings.ide.language.autoOption":"Détection automatique","settings.ide.language.description":"Langue de l’interface utilisateur de l’application","settings.ide.language.label":"Langue","settings.ide.language.search":"Recherche de langues","settings.layout.actionButton":"Redémarrer la prolongation","settings.layout.actionTitle":"Paramètres avec action","settings.layout.fullWidthTitle":"Paramètres (pleine largeur)","settings.layout.title":"Paramètres","settings.localEnvironments.actions.add":"Ajouter une action","settings.localEnvironments.actions.add.description":"Créer une nouvelle commande à exécuter à partir de la barre d’outils.","settings.localEnvironments.actions.add.save":"Enregistrer","settings.localEnvironments.actions.empty":"Ajoutez une action pour exécuter des commandes à partir de la barre d’outils locale.","settings.localEnvironments.actions.icon.debug":"Déboguer","settings.localEnvironments.actions.icon.run":"Exécuter","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Outil","settings.localEnvironments.actions.item.button.delete":"Supprimer","settings.localEnvironments.actions.item.command":"Script d’action","settings.localEnvironments.actions.item.name":"Nom","settings.localEnvironments.actions.item.platforms":"Plateformes","settings.localEnvironments.actions.item.platforms.help":"Exécutez uniquement sur un système d’exploitation spécifique.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Sélection de plateforme","settings.localEnvironments.actions.item.platforms.specific":"Spécifique à la plateforme","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Supprimer","settings.localEnvironments.actions.title":"Actions","settings.localEnvironments.breadcrumb.back":"Retour","settings.localEnvironments.breadcrumb.edit":"modifier","settings.localEnvironments.breadcrumb.root":"Environnements","settings.localEnvironments.environment.actions.description":"Ces actions peuvent exécuter n’importe quelle commande et sont affichées dans l’en-tête.","settings.localEnvironments.environment.actionsLabel":"Actions","settings.localEnvironments.environment.create":"Créer un environnement local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Modifier l’environnement local","settings.localEnvironments.environment.empty":"Aucun environnement local n’est configuré pour ce projet pour le moment.","settings.localEnvironments.environment.name":"Nom","settings.localEnvironments.environment.setup":"Script d’installation","settings.localEnvironments.environment.setup.description":"Ce script s’exécutera lors de la création de l’arborescence de travail.","settings.localEnvironments.environment.setup.hint":"S’exécute dans la racine du projet.","settings.localEnvironments.environment.setup.platformOverrides":"Remplacements de plateforme","settings.localEnvironments.environment.setup.platformOverrides.add":"Ajouter le script d’installation {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Remplace le script par défaut pour certains systèmes d’exploitation spécifiques.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Retirer","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Détails de l’environnement","settings.localEnvironments.file.missing":"Enregistrez pour créer ce fichier pour la première fois.","settings.localEnvironments.file.parseError":"Impossible d’analyser le fichier existant. L’enregistrement va le remplacer. ({error})","settings.localEnvironments.file.path":"Fichier : {path}","settings.localEnvironments.file.readError":"Échec du chargement des données de l’environnement local. ({error})","settings.localEnvironments.file.title":"Fichier de l’environnement local","settings.localEnvironments.loading.body":"Récupération de la configuration de votre projet.","settings.localEnvironments.loading.title":"Chargements des environnements locaux en cours","settings.localEnvironments.preview.devOnly":"(DEV, uniquement)","settings.localEnvironments.preview.save":"Enregistrer","settings.localEnvironments.preview.saveError":"Échec de l'enregistrement du fichier. ({error})","settings.localEnvironments.preview.title":"Aperçu","settings.localEnvironments.save.disabled.name":"Ajouter un nom d’environnement à enregistrer.","settings.localEnvironments.save.disabled.noChanges":"Aucune modification à enregistrer.","settings.localEnvironments.save.disabled.saving":"Enregistrement en cours...","settings.localEnvironments.save.success":"Environnement local enregistré","settings.localEnvironments.unavailable.body":"Impossible de charger les paramètres de l’environnement local pour ce projet.","settings.localEnvironments.unavailable.title":"Environnements locaux non disponibles","settings.localEnvironments.workspace.add":"Ajouter un projet","settings.localEnvironments.workspace.title":"Projet","settings.localEnvironments.workspaceSelect.addLabel":"Ajouter un environnement","settings.localEnvironments.workspaceSelect.description":"Les environnements locaux indiquent à Codex comment configurer des arborescences de travail pour un projet. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Aucun projet pour le moment. Ajoutez-en un pour configurer les environnements locaux.","settings.localEnvironments.workspaceSelect.errorLabel":"L’environnement nécessite une attention particulière","settings.localEnvironments.workspaceSelect.learnMore":"En savoir plus","settings.localEnvironments.workspaceSelect.listLabel":"Projets disponibles","settings.localEnvironments.workspaceSelect.loading":"Chargement des projets.","settings.localEnvironments.workspaceSelect.loadingLabel":"Chargement de l’environnement en cours","settings.localEnvironments.workspaceSelect.title":"Sélectionnez un projet","settings.localEnvironments.workspaceSelect.viewAction":"Afficher","settings.mcp.addServer":"Ajouter le serveur","settings.mcp.app.configure":"Configurer","settings.mcp.app.connect":"Associer","settings.mcp.apps.refresh":"Actualiser","settings.mcp.detail.addArgument":"Ajouter un argument","settings.mcp.detail.addEnvVar":"Ajouter une variable d’environnement","settings.mcp.detail.addEnvVarPassthrough":"Ajouter une variable","settings.mcp.detail.args":"Arguments","settings.mcp.detail.back":"Retour","settings.mcp.detail.command":"Commande à lancer","settings.mcp.detail.cwd":"Répertoire de travail","settings.mcp.detail.docs":"Ouvrir la documentation MCP","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"Transfert des variables d’environnement","settings.mcp.detail.envVars":"Variables d’environnement","settings.mcp.detail.http.addEnvHeader":"Ajouter une variable","settings.mcp.detail.http.addHeader":"Ajouter un en-tête","settings.mcp.detail.http.bearerToken":"Variable d’environnement du jeton porteur","settings.mcp.detail.http.envHeaders":"En-têtes de variables d'environnement","settings.mcp.detail.http.headers":"En-têtes","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nom","settings.mcp.detail.save":"Enregistrer","settings.mcp.detail.switchTransportNotice":"Si vous souhaitez changer de type de serveur MCP, veuillez d’abord le désinstaller.","settings.mcp.detail.titleExisting":"Mettre à jour {name} MCP","settings.mcp.detail.titleNew":"Connecter à un MCP personnalisé","settings.mcp.detail.transport.http":"HTTP diffusable","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Désinstaller","settings.mcp.empty":"Aucun serveur MCP personnalisé connecté","settings.mcp.myServers":"Serveurs personnalisés","settings.mcp.partnerServer.description.figma":"Générez un meilleur code en intégrant tout le contexte Figma","settings.mcp.partnerServer.description.github":"Intégrez les API GitHub pour automatiser les flux de travail et extraire des données","settings.mcp.partnerServer.description.linear":"Intégrez le suivi des problèmes et la gestion de projet de Linear","settings.mcp.partnerServer.description.notion":"Lisez des documents, mettez à jour des pages, gérez des tâches","settings.mcp.partnerServer.description.playwright":"Intégrez l’automatisation du navigateur pour mettre en œuvre la conception et tester l’interface utilisateur","settings.mcp.partnerServer.install":"Installer","settings.mcp.partnerServer.installAndAuthenticate":"Installer et authentifier","settings.mcp.partnerServer.logoAlt":"Logo de {label}","settings.mcp.partnerServer.manage":"Gérer","settings.mcp.partnerServer.vendor":"par {vendor}","settings.mcp.recommendedServers":"Serveurs recommandés","settings.mcp.restartApp":"Recommencer","settings.mcp.restartExtension":"Redémarrer la prolongation","settings.mcp.server.enable":"Activer","settings.mcp.server.login":"Authentifier","settings.mcp.server.settings":"Paramètres","settings.multiselect.createOption":'Créer "{value}"',"settings.multiselect.removeOption":"Retirer","settings.nav.account":"Compte","settings.nav.agent":"Configuration","settings.nav.ariaLabel":"Paramètres","settings.nav.back":"Retour à l’appli","settings.nav.data-controls":"Fils archivés","settings.nav.environments":"Environnements infonuagiques","settings.nav.externalTooltip":"[alpha] Ouvre dans un navigateur","settings.nav.general-settings":"Général","settings.nav.git-settings":"Git","settings.nav.local-environments":"Environnements","settings.nav.mcp-settings":"Serveurs MCP","settings.nav.notImplemented":"[alpha] Non disponible dans Alpha","settings.nav.personalization":"Personnalisation","settings.nav.skills-settings":"Compétences","settings.nav.usage-analytics":"Utilisation et analyse","settings.nav.worktrees":"Arborescences de travail","settings.openSourceLicenses.back":"Retour","settings.openSourceLicenses.loading":"Chargement en cours…","settings.openSourceLicenses.missing":"Aucune notification tierce n’a été trouvée.","settings.openSourceLicenses.notSupported":"Non disponible sur cet hôte.","settings.openSourceLicenses.rowDescription":"Notifications tierces pour les dépendances groupées","settings.openSourceLicenses.rowLabel":"Licences libre service","settings.openSourceLicenses.subtitle":"Notifications tierces pour les dépendances incluses dans cette application","settings.openSourceLicenses.title":"Licences libre service","settings.openSourceLicenses.view":"Afficher","settings.personalization.agents.description":"Modifiez les instructions qui adaptent Codex à vos besoins. {learnMore}","settings.personalization.agents.learnMore":"En savoir plus","settings.personalization.agents.loadError":"Impossible de charger les agents.md.","settings.personalization.agents.loading":"Chargement des agents.md en cours...","settings.personalization.agents.placeholder":"Ajoutez vos instructions personnalisées...","settings.personalization.agents.retry":"Réessayer","settings.personalization.agents.save":"Enregistrer","settings.personalization.agents.save.error":"Impossible d’enregistrer les agents.md","settings.personalization.agents.save.success":"Agents.md enregistrés","settings.personalization.agents.title":"Instructions personnalisées","settings.personalization.personality.description":"Choisissez un ton par défaut pour les réponses de Codex","settings.personalization.personality.label":"Personnalité","settings.sample.contentBody":"Utilisez cette mise en page pour composer vos panneaux de paramètres avec un espacement uniforme.","settings.sample.contentTitle":"Exemple de bloc de contenu","settings.section.account":"Compte","settings.section.agent":"Configuration","settings.section.data-controls":"Fils archivés","settings.section.environments":"Environnements infonuagiques","settings.section.external":"S’ouvre dans votre navigateur durant l’Alpha","settings.section.general-settings":"Général","settings.section.git-settings":"Git","settings.section.local-environments":"Environnements","settings.section.mcp-settings":"Serveurs MCP","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"Connectez des outils externes et des sources de données.","settings.section.personalization":"Personnalisation","settings.section.skills-settings":"Compétences","settings.section.unavailable":"Pas encore disponible dans Alpha","settings.section.usage-analytics":"Utilisation et analyse","settings.section.worktrees":"Arborescences de travail","settings.threadDetail.description":"Choisir la quantité de sorties de commandes à afficher dans les fils","settings.threadDetail.label":"Détails du fil","settings.worktrees.conversation.untitled":"Conversation sans titre","settings.worktrees.delete.error":"Échec de la suppression de l’arborescence de travail","settings.worktrees.empty.body":"Les arborescences de travail créées par Codex apparaîtront ici.","settings.worktrees.empty.title":"Aucune arborescence de travail pour le moment","settings.worktrees.error.body":"Une erreur s’est produite lors du chargement des arborescences de travail.","settings.worktrees.error.retry":"Réessayer","settings.worktrees.error.title":"Impossible de charger les arborescences de travail","settings.worktrees.loading.body":"Récupération des détails de l’arborescence de travail.","settings.worktrees.loading.title":"Chargement des arborescences de travail","settings.worktrees.repository.loading":"Chargement des métadonnées du dépôt en cours","settings.worktrees.repository.unknown":"Référentiel inconnu","settings.worktrees.row.conversations":"Conversations","settings.worktrees.row.conversations.empty":"Aucune conversation n’est liée à cette arborescence de travail.","settings.worktrees.row.conversations.loading":"Chargement des conversations en cours...","settings.worktrees.row.delete":"Supprimer","settings.worktrees.row.title":"Arborescence de travail","sidebarElectron.addWorkspaceRoot":"Ajouter un nouveau projet","sidebarElectron.archiveThread":"Archiver le flux","sidebarElectron.archiveThreadError":"Échec de l’archivage du fil","sidebarElectron.collapseFolder":"Réduire le dossier","sidebarElectron.createStableWorktree.dialog.cancel":"Annuler","sidebarElectron.createStableWorktree.dialog.create":"Créer","sidebarElectron.debugNavLink":"Déboguer","sidebarElectron.editWorkspaceRootOptionName":"Modifier le nom","sidebarElectron.expandFolder":"Développer le dossier","sidebarElectron.groupByMenu.recency":"Liste chronologique","sidebarElectron.groupByMenu.title":"Organiser","sidebarElectron.groupByMenu.workspace":"Par projet","sidebarElectron.inboxRouteNavLink":"Automatisations","sidebarElectron.markThreadUnread":"Indiquer comme non lu","sidebarElectron.missingWorkspaceRoot":"Ce dossier de projet a été supprimé ou déplacé","sidebarElectron.newThread":"Nouveau fil","sidebarElectron.newThreadInGroup":"Démarrer un nouveau flux dans {folder}","sidebarElectron.noRecentThreads":"Aucun fil récent","sidebarElectron.noTasks":"Aucun fil","sidebarElectron.noTasks.start":"Ajouter un nouveau projet","sidebarElectron.noTasksWithFilter":"Aucun fil ne correspond aux filtres","sidebarElectron.pinnedThreads":"Fils épinglés","sidebarElectron.recentNavLink":"Fils","sidebarElectron.recentThreads":"Fils récents","sidebarElectron.removeWorkspaceRootOption":"Retirer","sidebarElectron.renameThread":"Renommer le fil","sidebarElectron.renameThreadDialogAriaLabel":"Titre du fil","sidebarElectron.renameThreadDialogCancel":"Annuler","sidebarElectron.renameThreadDialogPlaceholder":"Ajouter un titre...","sidebarElectron.renameThreadDialogSave":"Enregistrer","sidebarElectron.renameThreadDialogSubtitle":"Optez pour un nom court et reconnaissable.","sidebarElectron.renameThreadDialogTitle":"Renommer le fil","sidebarElectron.renameThreadError":"Échec de la modification du nom du fil","sidebarElectron.renameWorkspaceRootOptionLabel":"Nom affiché","sidebarElectron.showLess":"Afficher moins","sidebarElectron.showMenu.all":"Tous les fils","sidebarElectron.showMenu.relevant":"Pertinente","sidebarElectron.showMenu.relevantHint":"Afficher uniquement les fils récents pour la branche actuelle, les arborescences de travail ou d’autres fils qui nécessitent votre attention.","sidebarElectron.showMenu.title":"Afficher","sidebarElectron.showMenu.tooltip":"Filtrer, trier et organiser les fils","sidebarElectron.showMenu.trigger":"Filtrer les fils dans la barre latérale","sidebarElectron.showMore":"Afficher plus","sidebarElectron.skillsRouteNavLink":"Compétences","sidebarElectron.sortMenu.created":"Créé","sidebarElectron.sortMenu.title":"Trier par","sidebarElectron.sortMenu.updated":"Mis à jour","sidebarElectron.taskNavigation":"Dossiers d'automatisation","sidebarElectron.tasksInFolder":"Automatisations dans {folder}","sidebarElectron.workspaceOptions":"Les actions du projet pour {folder}","sidebarElectron.worktreeGroupTooltip":"Il s’agit d’une arborescence de travail git","skills.appsPage.createSkill":"Nouvelle compétence","skills.appsPage.empty.skills":"Aucune compétence trouvée","skills.appsPage.search.skills":"Rechercher des compétences","skills.appsPage.search.skills.label":"Rechercher des compétences","skills.appsPage.section.installedApps":"Installé","skills.appsPage.section.skills":"Compétences","skills.appsPage.subheading":"Donnez des superpouvoirs à Codex. <link>En savoir plus</link>","skills.appsPage.tab.recommended":"Recommandé","skills.appsPage.tab.skills":"Compétences","skills.card.contentsError":"Impossible de charger le contenu des compétences.","skills.card.disable":"Désactiver","skills.card.disableSuccess":"{skillName} compétences désactivées","skills.card.disabledBadge":"Désactivé","skills.card.enable":"Activer","skills.card.enableSuccess":"{skillName} compétences activées","skills.card.loadingContents":"Chargement du contenu des compétences en cours...","skills.card.more":"Autres actions","skills.card.open":"Ouvrir","skills.card.removeFailed":"Impossible de désinstaller la compétence","skills.card.removeSuccess":"{skillName} compétences désinstallées","skills.card.toggleEnabledError":"Échec de la mise à jour de la compétence","skills.card.try":"Essayer","skills.card.trySkill":"Essayer la compétence","skills.card.uninstall":"Désinstaller","skills.hero.dotLabel":"Rendez-vous à la diapositive {index}","skills.hero.next":"Prochaine compétence en vedette","skills.hero.trySkill":"Essayer la compétence","skills.page.createSkill":"Nouvelle compétence","skills.page.empty":"Aucune compétence trouvée","skills.page.filteredEmpty":"Aucune compétence ne correspond à vos filtres","skills.page.filteredEmptyDescription":"Essayez d’ajuster vos filtres de recherche ou d’étendue","skills.page.heading":"Compétences","skills.page.loading":"Chargement des compétences en cours...","skills.page.refreshSkills":"Actualiser","skills.page.refreshSkillsToUseNew":"Actualiser pour utiliser la ou les nouvelles compétences.","skills.page.search":"Rechercher des compétences","skills.page.search.label":"Rechercher des compétences","skills.page.subheading":"Donnez des superpouvoirs à Codex. <link>En savoir plus</link>","skills.preview.copyPrompt":"Copier la requête","skills.preview.examplePrompt":"Exemple de requête","skills.recommended.error":"Impossible de charger les compétences recommandées","skills.recommended.install":"Installer","skills.recommended.installSkill":"Installer une compétence","skills.recommended.installSuccess":"{skillName} compétences installées","skills.recommended.installed":"Installé","skills.scope.admin":"Administrateur","skills.scope.adminInstalled":"Administrateur installé","skills.scope.builtIn":"Système","skills.scope.personal":"Personnel","skills.scope.repo":"Référentiel","skills.scope.system":"Système","skills.scope.team":"Équipe","skills.scope.user":"Utilisateur","skills.section.installed":"Installé","skills.section.recommended":"Recommandées","story.slidingToggle.existing":"Existante","story.slidingToggle.fromLocal":"À partir du répertoire local","story.slidingToggle.new":"Nouveau","story.slidingToggle.toLocal":"Vers le répertoire local","terminal.close":"Fermer le terminal","terminal.title":"Terminal","thinkingShimmer.default":"En réflexion","threadEnvIcon.cloudTooltip":"Cette conversation se déroule dans Codex Cloud.","threadEnvIcon.localTooltip":"Cette conversation se déroule localement.","threadEnvIcon.worktreeTooltip":"Cette conversation se déroule dans une arborescence de travail git locale.","threadHeader.archiveConfirmCancel":"Annuler","threadHeader.archiveConfirmConfirm":"Archiver","threadHeader.archiveConfirmSubtitle":"Vous le retrouverez plus tard dans vos fils archivés.","threadHeader.archiveConfirmTitle":"Archiver le flux","threadHeader.copyAppLink":"Copier le lien profond","threadHeader.copySessionId":"Copier l’ID de session","threadHeader.copyWorkingDirectory":"Copier le répertoire de travail","threadHeader.forkIntoLocal":"Dupliquer dans un répertoire local","threadHeader.forkIntoWorktree":"Dupliquer dans une nouvelle arborescence de travail","threadHeader.forkPendingWorktreePrompt":"Dupliquer cette conversation dans une nouvelle arborescence de travail","threadHeader.forkPendingWorktreeTitle":"Conversation dupliquée","threadHeader.forkThreadError":"Échec de duplication du fil","threadHeader.forkThreadRequiresGitRepo":"Dupliquer dans une nouvelle arborescence exige un référentiel git","threadHeader.moreActions":"Actions du fil","threadPage.newThread":"Nouveau fil","threadPage.runAction.changeEnvironment":"Changer d’environnement","threadPage.runAction.dropdown.titleWithEnvironment":"Actions {environmentName}","threadPage.runAction.environmentSelector.label":"Choisir l’environnement","threadPage.runAction.label":"Exécuter","threadPage.runAction.missing.label":"Définiri une action d’exécution","threadPage.runAction.setup.commandLabel":"Commande à exécuter","threadPage.runAction.setup.description":"Indiquez à Codex comment installer les dépendances et démarrer votre application.","threadPage.runAction.setup.editMore":"Paramètres de l’environnement","threadPage.runAction.setup.placeholder":"p. ex., npm install npm run","threadPage.runAction.setup.submit":"Enregistrer et exécuter","threadPage.runAction.setup.title":"Exécuter","threadPage.runAction.tooltip.withEnvironment":"Actions {environmentName}","threadPage.toggleDiffPanel":"Basculer vers le panneau des différences","threadPage.toggleTerminal":"Activer/désactiver le terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Ouvrir le fichier","toolSummaryForCmd.exploredFiles":"Fichiers <verb>répertoriés</verb>","toolSummaryForCmd.exploredFilesInPath":"Fichiers <verb>répertoriés</verb> dans {path}","toolSummaryForCmd.exploringFiles":"<verb>Répertorier</verb> les fichiers","toolSummaryForCmd.exploringFilesInPath":"<verb>Répertorier</verb> les fichiers dans {path}","toolSummaryForCmd.ranGenericCommand":"<status>Commande exécutée</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Exécuté</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lire</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Exécution de la commande en cours</status>{timer}","toolSummaryForCmd.runningTimer":"pour {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Recherche</verb> de {query} effectuée","toolSummaryForCmd.searchedForFiles":"<verb>Recherche</verb> de fichiers effectuée","toolSummaryForCmd.searchedForInPath":"<verb>Recherche</verb> de {query} dans {path} effectuée","toolSummaryForCmd.searchingFor":"<verb>Recherche</verb> de {query}","toolSummaryForCmd.searchingForFiles":"<verb>Recherche</verb> de fichiers en cours","toolSummaryForCmd.searchingForInPath":"<verb>Recherche</verb> de {query} dans {path} en cours","traceRecording.details.noteLabel":"Que faisiez-vous lorsque cela s’est produit? (facultatif)","traceRecording.details.notePlaceholder":"J’ai accédé à un fil volumineux, puis j’ai changé plusieurs fois d’onglet...","traceRecording.details.submit":"Envoyer la trace","traceRecording.details.subtitle":"Nous pouvons envoyer cette trace de profil pour aider à diagnostiquer les problèmes de performance.","traceRecording.details.title":"Envoyer la trace de profil?","traceRecording.progress.subtitle":"Gardez Codex ouvert pendant que cette opération se termine.","traceRecording.saving.title":"Enregistrement de la trace en cours...","traceRecording.startDetails.cancel":"Annuler","traceRecording.startDetails.submit":"D’accord, démarrer l’enregistrement","traceRecording.startDetails.subtitle":"Après avoir cliqué sur OK, reproduisez le problème de performance, puis cliquez sur l’indicateur rouge flottant pour arrêter et examiner la trace.","traceRecording.startDetails.title":"Fonctionnement de l’enregistrement de la trace","traceRecording.stopButton.ariaLabel":"Arrêter l’enregistrement de la trace","traceRecording.upload.successToast":"Trace de profil envoyée.","traceRecording.uploading.title":"Téléversement de la trace en cours...","wham.diff.addComment":"Ajouter des commentaires","wham.diff.binaryFile":"Fichier binaire non affiché","wham.diff.noContent":"Sans contenu","wham.fileTag.deleted":"Supprimé","wham.fileTag.new":"Nouveau","wham.formattedRelativeDateTime.compactDaysAgo":"{value} j","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mois","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} sem.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} an","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Traitement de votre tâche","wham.whamProposedTask.title":"Tâche suggérée","wham.whamProposedTask.useSuggestion":"Utiliser la suggestion","workspaceRootDialog.addError":"Échec de l’ajout du projet.","workspaceRootDialog.cancel":"Annuler","workspaceRootDialog.confirmAdd":"Ajouter un projet","workspaceRootDialog.confirmPick":"Utiliser un projet","workspaceRootDialog.description":"Entrez un chemin sur {host} pour utiliser un projet.","workspaceRootDialog.pathLabel":"Chemin du projet","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Ajouter le chemin du projet","workspaceRootDialog.title.pick":"Choisir le chemin du projet","worktreeInitV2.cancel":"Annuler","worktreeInitV2.notification.failedTitle":"Échec de la configuration de l’arborescence de travail","worktreeInitV2.output.empty":"En attente des résultats...","worktreeInitV2.status.error":"Échec de la configuration de l’arborescence de travail.","worktreeInitV2.status.running":"Création d’une arborescence de travail et exécution de la configuration.","worktreeInitV2.status.runningFork":"Création d’une arborescence pour dupliquer cette conversation.","worktreeInitV2.status.success":"Arborescence de travail prête.","worktreeInitV2.title":"Création de l’arborescence de travail en cours","worktreeInitV2.workLocallyInstead":"Travailler plutôt localement","worktreeRestoreBanner.body":"L’arborescence de travail de ce fil a été supprimée pour économiser de l’espace disque","worktreeRestoreBanner.missing.body":"Le répertoire de travail de l’arborescence de travail de ce fil n’existe plus","worktreeRestoreBanner.missing.title":"Répertoire de travail actuel manquant","worktreeRestoreBanner.restore.error":"Échec de la restauration de l’arborescence de travail : {message}","worktreeRestoreBanner.restore.success":"Arborescence de travail restaurée","worktreeRestoreBanner.restoreCta":"Restaurer l’arborescence de travail","worktreeRestoreBanner.title":"Arborescence de travail nettoyée"};Object.assign(e,globalThis.codexI18nOverrides?.["fr-CA"]);export{e as default};
 //# sourceMappingURL=fr-CA-D6MnuhT_.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Copier","app.sidebar.hide":"Masquer la barre latérale","app.sidebar.show":"Afficher la barre latérale","app.sidebar.tooltip":"Activer/désactiver la barre latérale","appHeader.installUpdate":"Mettre à jour","appSunset.body":"Cette version de l’application n’est plus prise en charge. Veuillez télécharger la dernière version <here>ici</here>.","appSunset.title":"Mise à jour requise","automation.updateDirective.create":"Créer","automation.updateDirective.open":"Ouvrir","automation.updateDirective.untitled":"Automatisation sans titre","automation.updateDirective.update":"Mettre à jour","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# essai} many {# essais} other {# essais}}","cloudTaskRow.archiveError":"Impossible d’archiver la tâche","code.diff.requestChange":"Demander une modification","code.diffComment.cancel":"Annuler","code.diffComment.comment":"Commentaire","code.diffComment.delete":"Supprimer","code.diffComment.save":"Enregistrer","codeReviewAssistant.location":"{file} :{start}-{end}","codeReviewAssistant.noFindings":"Aucun résultat trouvé.","codex.alert.closeAriaLabel":"Fermer","codex.appUpsellBanner.cbpApi.message":"Créez plus rapidement avec l’application Codex. Téléchargez maintenant ou {learnMoreLink}.","codex.appUpsellBanner.download":"Télécharger","codex.appUpsellBanner.freeGo.message":"Codex est inclus dans votre forfait jusqu’au 2 mars. Essayez l’application Codex pour créer plus rapidement.","codex.appUpsellBanner.later":"Plus tard","codex.appUpsellBanner.learnMoreLowercase":"en savoir plus","codex.appUpsellBanner.new":"Nouveau","codex.appUpsellBanner.proPlusBusiness.message":"Essayez l’application Codex avec un doublement des limites d’utilisation jusqu’au 2 avril. Téléchargez maintenant ou {learnMoreLink}.","codex.appUpsellBanner.title":"Application Codex","codex.applyDropdown.header.changes":"Modifications","codex.applyDropdown.header.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","codex.applyDropdown.header.rows":"lignes","codex.applyDropdown.header.title":"Appliquer les modifications","codex.applyDropdown.header.workspace":"Projet","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fichier en conflit} many {{count} fichiers en conflit :} other {{count} fichiers en conflit :}}","codex.applyDropdown.results.empty":"Aucun fichier copié","codex.applyDropdown.results.skipped":"{count, plural, one {1 fichier ignoré :} many {{count} fichiers ignorés :} other {{count} fichiers ignorés :}}","codex.applyOrRevertBanner.apply":"Appliquer","codex.applyOrRevertBanner.applyMessage":"Appliquer les modifications et continuer localement ?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Cette tâche ayant été réalisée dans {environment}, elle peut ne pas être correctement appliquée.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Les modifications ayant été apportées dans {environment}, elles peuvent ne pas être correctement appliquées.","codex.applyOrRevertBanner.reapply":"Appliquer à nouveau","codex.applyOrRevertBanner.revert":"Revenir","codex.applyOrRevertBanner.revertMessage":"Annuler les modifications appliquées ?","codex.applyResultsDialog.applied":"Correctement appliqué(s) ({count})","codex.applyResultsDialog.close":"Fermer","codex.applyResultsDialog.conflicted":"Conflit(s) rencontré(s) ({count})","codex.applyResultsDialog.noDetails":"Aucune information disponible sur le fichier.","codex.applyResultsDialog.skipped":"Ignoré(s) ({count})","codex.applyResultsDialog.title":"Appliquer les résultats","codex.archiveInfo":"Affichez les chats archivés dans {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Gestion des données","codex.archiveInfo.electron":"Afficher les chats archivés dans {settingsLink}","codex.archiveInfo.extension":"Affichez les chats archivés dans votre dossier .codex.","codex.archiveInfo.settingsLink":"Paramètres","codex.banner.content.description":"Exécuter des tâches simultanées, suivre leur avancement et examiner les PR grâce à l’IA.","codex.banner.content.headline":"Codex s’occupe de tout.","codex.cloudTaskRow.archiveTask":"Archiver la tâche","codex.cloudTaskRow.confirmArchiveTask":"Confirmer","codex.command.feedback":"Commentaires","codex.command.findInThread":"Rechercher","codex.command.forceReloadSkills":"Forcer le rechargement des compétences","codex.command.logOut":"Se déconnecter","codex.command.manageTasks":"Gérer les tâches","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Retour","codex.command.navigateForward":"Suivant","codex.command.newThread":"Nouveau fil","codex.command.nextThread":"Fil suivant","codex.command.openFolder":"Ouvrir le dossier","codex.command.openSkills":"Accéder aux compétences","codex.command.openThreadOverlay":"Fenêtre pop-up du fil","codex.command.personalitySettings":"Personnalité","codex.command.previousThread":"Fil précédent","codex.command.settings":"Paramètres","codex.command.toggleDiffPanel":"Activer/désactiver le panneau diff","codex.command.toggleSidebar":"Activer/désactiver la barre latérale","codex.command.toggleTerminal":"Activer/désactiver le terminal","codex.commandGroup.app":"Appli","codex.commandGroup.configure":"Configurer","codex.commandGroup.navigation":"Navigation","codex.commandGroup.panels":"Panneaux","codex.commandGroup.skills":"Compétences","codex.commandGroup.thread":"Fil","codex.commandGroup.workspace":"Projet","codex.commandMenu.noResults":"Aucune correspondance","codex.commandMenu.searchPlaceholder":"Commandes de recherche","codex.commandMenu.suggestedGroup":"Suggestions","codex.commandMenu.switchWorkspace":"Changer de projet","codex.commandMenu.title":"Menu de commandes","codex.common.retry":"Réessayer","codex.composer.searchBranches":"Rechercher dans les branches","codex.dialog.basic.body":"Ceci est une boîte de dialogue modale simple utilisant notre wrapper autour de Radix Dialog.","codex.dialog.basic.cancel":"Annuler","codex.dialog.basic.confirm":"Confirmer","codex.dialog.basic.open":"Ouvrir la boîte de dialogue","codex.dialog.basic.title":"Exemple de boîte de dialogue","codex.dialog.long.close":"Fermer","codex.dialog.long.line":"Ligne avec défilement {index} pour présenter un contenu long dans la boîte de dialogue.","codex.dialog.long.open":"Ouvrir la boîte de dialogue avec contenu long","codex.dialog.long.title":"Boîte de dialogue avec contenu long","codex.dialog.unstyled.body":"Cette story indique comment les appelants peuvent contrôler entièrement le style du contenu de la boîte de dialogue.","codex.dialog.unstyled.open":"Ouvrir la boîte de dialogue sans style","codex.dialog.unstyled.title":"Contenu sans style","codex.diff.openInEditorPrompt.openButton":"Ouvrir dans l’éditeur","codex.diff.openInEditorPrompt.singleLine":"Le fichier est trop volumineux pour être affiché ici.","codex.diffView.failedToDecodeBase64Diff":"Échec du décodage du diff en base64","codex.diffView.filesChanged":"{fileCount, plural, one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.diffView.imagePreviewAlt":"Aperçu de l’image","codex.diffView.imagePreviewEmpty":"Aucune image","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Aucune donnée de diff","codex.diffView.pdfPreview.nextPage":"Page suivante","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Page précédente","codex.diffView.pdfPreviewEmpty":"Aucun aperçu du PDF","codex.diffView.pdfPreviewError":"Impossible de rendre l’aperçu du PDF","codex.diffView.richPreviewDisable":"Désactiver l’aperçu enrichi","codex.diffView.richPreviewEnable":"Activer l’aperçu enrichi","codex.diffView.richPreviewLoading":"Chargement de l’aperçu…","codex.diffView.richPreviewToggle":"Activer/désactiver l’aperçu enrichi","codex.diffView.switchToUnified":"Passer au diff unifié","codex.environmentSelector.noEnvironment":"Aucun environnement","codex.environments.environmentSettings":"Paramètres de l’environnement","codex.environments.learnMore":"En savoir plus","codex.environments.listError":"Impossible de charger les environnements.","codex.environments.noEnvironmentsFound":"Aucun environnement trouvé","codex.environments.searchError":"Impossible de rechercher les environnements.","codex.errorBoundary.genericError":"Une erreur s’est produite","codex.errorBoundary.goHome":"Réessayer","codex.file.patch.missing":"Impossible de créer un correctif pour ce fichier.","codex.gallery.automations.cwdLabel":"Projets","codex.gallery.automations.nameLabel":"Nom","codex.gallery.automations.namePlaceholder":"Résumer une tâche","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Décrire ce que doit faire Codex","codex.gallery.dialogs.automation.label":"Boîte de dialogue de l’automatisation","codex.gallery.dialogs.basic.body":"Utilisez cette disposition pour les confirmations simples ou les formulaires courts.","codex.gallery.dialogs.basic.cancel":"Annuler","codex.gallery.dialogs.basic.confirm":"Confirmer","codex.gallery.dialogs.basic.label":"Boîte de dialogue basique","codex.gallery.dialogs.basic.title":"Exemple de boîte de dialogue","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Décrire le problème","codex.gallery.dialogs.feedbackSubmission.bad":"Mauvais résultat","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Bon résultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inclure les journaux de session Codex actuels","codex.gallery.dialogs.feedbackSubmission.label":"Soumission des commentaires","codex.gallery.dialogs.feedbackSubmission.other":"Autre","codex.gallery.dialogs.feedbackSubmission.placeholder":"Décrivez le problème ici","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"Vérification de sécurité","codex.gallery.dialogs.feedbackSubmission.submit":"Envoyer","codex.gallery.dialogs.feedbackSubmission.title":"Commentaires","codex.gallery.dialogs.feedbackSuccess.body":"Commentaires chargés. Si le problème persiste, veuillez créer un problème GitHub ou mentionner l’ID du fil dans un problème ouvert existant :","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ignorer","codex.gallery.dialogs.feedbackSuccess.label":"Succès des commentaires","codex.gallery.dialogs.feedbackSuccess.title":"Commentaires chargés","codex.gallery.dialogs.gitApplyResults.applied":"Correctement appliqué(s) (2)","codex.gallery.dialogs.gitApplyResults.close":"Fermer","codex.gallery.dialogs.gitApplyResults.conflicted":"En conflit (1)","codex.gallery.dialogs.gitApplyResults.label":"Appliquer les résultats","codex.gallery.dialogs.gitApplyResults.title":"Appliquer les résultats","codex.gallery.dialogs.gitPushError.body":"Récupérez les dernières modifications ou forcez le push si vous savez que l’historique distant peut être écrasé sans risque.","codex.gallery.dialogs.gitPushError.cancel":"Annuler","codex.gallery.dialogs.gitPushError.force":"Forcer le push","codex.gallery.dialogs.gitPushError.label":"Erreur de push","codex.gallery.dialogs.gitPushError.subtitle":"Votre branche est derrière la branche d’origine/principale.","codex.gallery.dialogs.gitPushError.title":"Impossible de pousser les modifications","codex.gallery.dialogs.gitRevert.cancel":"Annuler","codex.gallery.dialogs.gitRevert.confirm":"Revenir","codex.gallery.dialogs.gitRevert.label":"Annuler les modifications","codex.gallery.dialogs.gitRevert.skip":"Ne plus me demander","codex.gallery.dialogs.gitRevert.subtitle":"Cette action supprime toutes ces modifications.","codex.gallery.dialogs.gitRevert.title":"Annuler les modifications ?","codex.gallery.dialogs.longForm.label":"Boîte de dialogue formulaire long","codex.gallery.dialogs.proseModal.body":"Ce style modal est utilisé pour les instructions plus longues, l’onboarding ou les blocs de contenu enrichi.","codex.gallery.dialogs.proseModal.close":"Fermer","codex.gallery.dialogs.proseModal.subtitle":"Fournissez ici les instructions ou la documentation pour les formulaires plus longs.","codex.gallery.dialogs.proseModal.title":"Fenêtre pour les contenus plus fournis","codex.gallery.dialogs.submitBlocked.label":"Soumission bloquée","codex.gallery.dialogs.submitBlocked.message":"Votre message n’a pas pu être envoyé car le projet n’est pas disponible.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Impossible d’envoyer le message","codex.gallery.dialogs.title":"Boîtes de dialogue","codex.gallery.dropdown.filterPlaceholder":"Filtrer les éléments","codex.gallery.dropdowns.actionRow":"Lignes d’action","codex.gallery.dropdowns.actionRow.disabled":"Action désactivée","codex.gallery.dropdowns.actionRow.primary":"Action principale","codex.gallery.dropdowns.actionRow.secondary":"Action secondaire","codex.gallery.dropdowns.actionRow.trigger":"Afficher les actions","codex.gallery.dropdowns.basic":"Menu déroulant basique","codex.gallery.dropdowns.basic.newFile":"Nouveau fichier","codex.gallery.dropdowns.basic.newFolder":"Nouveau dossier","codex.gallery.dropdowns.basic.openSettings":"Ouvrir les paramètres","codex.gallery.dropdowns.basic.title":"Actions rapides","codex.gallery.dropdowns.basic.trigger":"Ouvrir le menu","codex.gallery.dropdowns.basic.upload":"Charger","codex.gallery.dropdowns.panel":"Surface du panneau","codex.gallery.dropdowns.panel.apply":"Appliquer","codex.gallery.dropdowns.panel.body":"Vérifiez les diffs et appliquez-les à votre projet.","codex.gallery.dropdowns.panel.preview":"Aperçu","codex.gallery.dropdowns.panel.title":"Appliquer les modifications","codex.gallery.dropdowns.panel.trigger":"Ouvrir le panneau","codex.gallery.dropdowns.search":"Menu déroulant avec fonction de recherche","codex.gallery.dropdowns.search.first":"Canal alpha","codex.gallery.dropdowns.search.second":"Branche bêta","codex.gallery.dropdowns.search.third":"Version candidate","codex.gallery.dropdowns.search.trigger":"Filtrer les éléments","codex.gallery.dropdowns.submenu":"Menu déroulant avec sous-menu","codex.gallery.dropdowns.submenu.optionA":"Projet alpha","codex.gallery.dropdowns.submenu.optionB":"Projet bêta","codex.gallery.dropdowns.submenu.optionC":"Projet gamma","codex.gallery.dropdowns.submenu.primary":"Assigner le propriétaire","codex.gallery.dropdowns.submenu.secondary":"Déplacer vers","codex.gallery.dropdowns.submenu.tertiary":"Archiver","codex.gallery.dropdowns.submenu.trigger":"Choisir une action","codex.gallery.dropdowns.title":"Menus déroulants","codex.gallery.inbox.automations.close":"Fermer","codex.gallery.inbox.automations.popover.cardTitle":"Gérer les automatisations","codex.gallery.inbox.automations.popover.dialogTitle":"Gérer les automatisations","codex.header.settingsTooltip":"Paramètres","codex.hunk.patch.error":"Échec de l’indexation","codex.hunk.patch.missing":"Impossible de créer le correctif pour ce hunk.","codex.hunk.patch.partialSuccess":"Succès partiel","codex.hunk.patch.revertError":"Échec de la désindexation","codex.hunk.patch.revertSuccess":"Désindexation réussie","codex.hunk.patch.success":"Indexation réussie","codex.legal.autonomy.details":"Pour en savoir plus, consultez la {link}","codex.legal.autonomy.details.link":"documentation Codex","codex.legal.autonomy.title":"Déterminer le degré d’autonomie à accorder","codex.legal.backButton":"Retour","codex.legal.cloud.taskOne.meta":"openai/agi · 12 octobre","codex.legal.cloud.taskOne.title":"Expliquer ce qu’est un référentiel à un nouveau designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8 octobre","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Créer un thème en mode sombre","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 octobre","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Corriger un bug d’onboarding","codex.legal.continue.apikey":"Continuer","codex.legal.continueButton":"Suivant","codex.legal.copilot.details":"Utilise votre abonnement Copilot pour tous les appels aux modèles, la facturation et les limites. L’utilisation de l’extension Codex est soumise à la fois aux {oaiTos} et aux {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Conditions d’utilisation de GitHub","codex.legal.copilot.oaiTosLink":"Conditions d’utilisation de Codex d’OpenAI","codex.legal.copilot.title":"Propulsé par GitHub Copilot","codex.legal.mistakes.review":"Examinez le code qu’il génère et les commandes qu’il exécute","codex.legal.mistakes.title":"Codex peut faire des erreurs","codex.legal.powered.details":"Utilise les limites de votre forfait et vos {link}","codex.legal.powered.details.link":"préférences en matière de données d’entraînement","codex.legal.powered.title":"Propulsé par votre compte ChatGPT","codex.legal.step.cloud.subtitle":"Laissez Codex exécuter vos tâches en arrière-plan et concentrez-vous sur l’essentiel pour gagner en rapidité.","codex.legal.step.cloud.title":"Passez la main à Codex dans le cloud","codex.legal.step.intro.subtitle":"Codex parcourt, modifie, exécute des commandes et lance des tests directement dans votre référentiel. Propulsé par votre compte ChatGPT.","codex.legal.step.intro.title":"Codex dans votre IDE","codex.legal.step.todo.subtitle":"Écrivez un commentaire TODO et transformez-le en tâche Codex en un clic.","codex.legal.step.todo.title":"Transformez des TODO en tâches Codex","codex.legal.todo.heading":"// TODO: implement schema","codex.localConversation.closeImagePreview":"Fermer l’aperçu de l’image","codex.localConversation.userImageAttachment":"Pièce jointe utilisateur","codex.localTaskRow.archiveTask":"Archiver le fil","codex.localTaskRow.awaitingApproval":"En attente d’approbation","codex.localTaskRow.awaitingResponse":"En attente de réponse","codex.localTaskRow.confirmArchiveTask":"Confirmer","codex.loggedOut.apiKeyPrompt.cancel":"Annuler","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Obtenir la clé API","codex.loggedOut.apiKeyPrompt.inputLabel":"Saisissez votre clé API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tâches cloud désactivées avec la clé API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tâches cloud désactivées avec Copilot et la clé API","codex.loggedOut.signIn":"Se connecter avec ChatGPT","codex.loggedOut.signIn.cancel":"Annuler la connexion","codex.loggedOut.signInWithCopilot":"Se connecter avec GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Utiliser la clé API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"MCP {server} outil {tool}","codex.mcpTool.collapsedLabel.verb.called":"Appelé","codex.mcpTool.collapsedLabel.verb.calling":"Appel","codex.mcpTool.embeddedResource.contentLabel":"Contenu","codex.mcpTool.embeddedResource.mimeTypeLabel":"Type MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"L’outil n’a renvoyé aucun contenu","codex.mcpTool.rawPayloadHeading":"Charge utile brute d’appel de l’outil {server}.{tool}","codex.menu.recent":"Récents","codex.menu.seeAllHistory":"Afficher tout l’historique","codex.modelCapacityBanner.headline.noReset":"{modelName} a atteint sa pleine capacité. Réessayez plus tard ou commencez une nouvelle conversation avec un autre modèle.","codex.modelCapacityBanner.headline.withReset":"{modelName} a atteint sa pleine capacité. Réessayez après {resetDate}, ou commencez une nouvelle conversation avec un autre modèle.","codex.modelCapacityBanner.title":"Le modèle sélectionné a atteint sa pleine capacité","codex.patch.change.contentsDeleted":"Contenus supprimés","codex.patch.change.created":"Créé","codex.patch.change.created-file":"Fichier créé","codex.patch.change.creating":"Création en cours","codex.patch.change.deleted":"Supprimé","codex.patch.change.deleted-file":"Fichier supprimé","codex.patch.change.deleting":"Suppression en cours","codex.patch.change.edited":"Modifié","codex.patch.change.edited-file":"Fichier modifié","codex.patch.change.editing":"Modification en cours","codex.patch.change.noChanges":"Aucune modification","codex.patch.change.rejected-add":"Rejeté","codex.patch.change.rejected-delete":"Rejeté","codex.patch.change.rejected-edit":"Rejeté","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} tâches finalisées sur {total}","codex.plan.todoListCreated":"Liste de tâches créée avec {total} tâches","codex.profileDropdown.apiKeyAuth":"Connecté avec une clé API","codex.profileDropdown.codexSettings":"Paramètres Codex","codex.profileDropdown.copilotAuth":"Connecté avec Copilot","codex.profileDropdown.defaultAccountTitle":"Compte par défaut","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Entrée pour envoyer des prompts longs","codex.profileDropdown.enterBehaviorError":"Impossible de mettre à jour le paramètre","codex.profileDropdown.getPlus":"Passer à un forfait supérieur pour des limites étendues","codex.profileDropdown.keyboardShortcuts":"Raccourcis clavier","codex.profileDropdown.language":"Langue","codex.profileDropdown.languageDefault":"Détection automatique","codex.profileDropdown.languageSearchPlaceholder":"Rechercher dans les langues","codex.profileDropdown.languageUpdateError":"Impossible de mettre à jour la langue","codex.profileDropdown.logOut":"Se déconnecter","codex.profileDropdown.mcp":"Paramètres du MCP","codex.profileDropdown.openConfigToml":"Ouvrir le fichier config.toml","codex.profileDropdown.openConfigToml.wsl":"Ouvrir le fichier config.toml dans l’environnement WSL","codex.profileDropdown.openExtensionSettings":"Ouvrir les paramètres","codex.profileDropdown.openMcpSettings":"Ouvrir les paramètres MCP","codex.profileDropdown.openOnStartup":"Ouvrir au démarrage","codex.profileDropdown.openOnStartupError":"Impossible de mettre à jour le paramètre","codex.profileDropdown.openSkillsSettings":"Ouvrir les paramètres des compétences","codex.profileDropdown.personalAccountTitle":"Compte personnel","codex.profileDropdown.queueFollowUps":"Mettre en file d’attente les actions de suivi","codex.profileDropdown.queueFollowUpsError":"Impossible de mettre à jour le paramètre","codex.profileDropdown.readDocs":"Lire la documentation","codex.profileDropdown.readSkillsDocs":"Lire la documentation","codex.profileDropdown.runInWsl":"Exécuter dans WSL","codex.profileDropdown.runInWslError":"Impossible de mettre à jour le paramètre","codex.profileDropdown.runInWslTooltip":"Exécute Codex dans WSL. Recommandé pour optimiser la sécurité des environnements de test et les performances.","codex.profileDropdown.settings":"Paramètres de l’IDE","codex.profileDropdown.settingsPage":"Paramètres","codex.profileDropdown.signInWithOpenAI":"Se connecter avec ChatGPT","codex.profileDropdown.skills":"Paramètres des compétences","codex.profileDropdown.switchToCopilotAccount":"Utiliser le compte Copilot","codex.profileDropdown.switchToOpenAIAccount":"Utiliser le compte OpenAI","codex.profileDropdown.todoCodelens":"Corriger les commentaires TODO","codex.profileDropdown.todoCodelensError":"Impossible de mettre à jour le paramètre","codex.profileDropdown.windowsDocumentation":"Documentation Windows","codex.profileFooter.signedInFallback":"Paramètres","codex.profileFooter.upgrade":"Mettre à niveau","codex.recentTasksMenu.clearSearch":"Effacer la recherche","codex.recentTasksMenu.cloud":"Tâches dans le cloud","codex.recentTasksMenu.count":"{count, plural, =0 {Aucune tâche en cours} one {# tâche en cours} many {# tâches en cours} other {# tâches en cours}}","codex.recentTasksMenu.empty":"Aucun fil pour le moment","codex.recentTasksMenu.errorCloud":"Échec du chargement des tâches.","codex.recentTasksMenu.errorCloud.inline":"Échec du chargement des tâches dans le cloud.","codex.recentTasksMenu.filterAll":"Tous","codex.recentTasksMenu.filterCloudTasks":"Filtrer les tâches dans le cloud","codex.recentTasksMenu.filterTooltip":"Filtrer les tâches par environnement","codex.recentTasksMenu.local":"Tâches locales","codex.recentTasksMenu.recent":"Toutes les tâches","codex.recentTasksMenu.search":"Rechercher les tâches récentes","codex.recentTasksMenu.searchEmpty":"Aucun résultat","codex.recentTasksMenu.tooltip":"Historique des tâches","codex.recentTasksMenu.trigger":"Tâches récentes. {count, plural, one {# en cours} many {# en cours} other {# en cours}}","codex.remoteConversation.applyDiff.applyCta":"Appliquer les modifications","codex.remoteConversation.applyDiff.dropdownTitle":"Appliquer les modifications à une branche locale","codex.remoteConversation.applyDiff.revertCta":"Annuler les modifications","codex.remoteConversation.closeImagePreview":"Fermer l’aperçu de l’image","codex.remoteConversation.codexCloudTask":"Vous consultez une tâche <u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Erreur : {message}","codex.remoteConversation.loadingImage":"Chargement de l’image","codex.remoteConversation.openInWeb":"Ouvrir dans un navigateur Web","codex.remoteConversation.streaming":"Démarrage","codex.remoteConversation.turnFailed":"Une erreur s’est produite lors de l’exécution de cette tâche","codex.remoteConversation.turnTab.loading":"Essai {number}","codex.remoteConversation.turnTab.title":"Essai {number}","codex.remoteConversation.userImageAttachment":"Pièce jointe utilisateur","codex.remoteConversation.viewPreviousTurns":"Ouvrir dans un navigateur Web","codex.remoteConversation.viewPreviousTurns.buttonText":"Ouvrir","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Ouvrir dans un navigateur Web","codex.review.copyGitApplyCommand":"Copier la commande git apply","codex.review.copyGitApplyCommand.toast":"Commande git apply copiée dans le presse-papiers","codex.review.diffTooLarge.description":"Ce diff est trop volumineux pour être affiché dans la section Examen.","codex.review.diffTooLarge.title":"Le diff est trop volumineux pour être affiché","codex.review.expandOrCollapseDiffButton.collapse":"Réduire tous les diff","codex.review.expandOrCollapseDiffButton.expand":"Développer tous les diff","codex.review.expandOrCollapseDiffMenu.collapse":"Réduire tous les diff","codex.review.expandOrCollapseDiffMenu.expand":"Développer tous les diff","codex.review.fileSearch.clear":"Effacer le filtre sur les fichiers","codex.review.fileSearch.empty":"Aucun fichier ne correspond au filtre actuel.","codex.review.fileSearch.label":"Filtrer les fichiers","codex.review.fileSearch.placeholder":"Filtrer les fichiers...","codex.review.filesChanged":"{num, plural, =0 {Aucun fichier modifié} one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.review.find.loadMore":"Charger d’autres correspondances","codex.review.fullReview.hideFileTree":"Masquer l’arborescence des fichiers","codex.review.fullReview.showFileTree":"Afficher l’arborescence des fichiers","codex.review.header.moreOptions":"Options d’examen","codex.review.largeDiff.banner":"Diff volumineux détecté ; affichage d’un seul fichier à la fois.","codex.review.loadFullFiles.disable":"Ne pas charger les fichiers complets","codex.review.loadFullFiles.enable":"Charger les fichiers complets","codex.review.noDiff":"Les modifications de fichiers apparaîtront ici","codex.review.noDiff.gitInit.createRepository":"Créer un référentiel git","codex.review.noDiff.gitInit.creating":"Création en cours…","codex.review.noDiff.gitInit.error":"Échec de l’initialisation git : {message}","codex.review.noDiff.gitInit.success":"Référentiel git créé","codex.review.noDiff.gitRepoRequired.description":"Suivez et annulez les modifications dans ce projet","codex.review.noDiff.gitRepoRequired.title":"Créer un référentiel git","codex.review.noDiff.orNoLongerAvailable":"ou les derniers diffs ne sont plus disponibles","codex.review.noDiff.reverted":"La dernière exécution a été annulée","codex.review.noDiff.revertedOrCommitted":"La dernière exécution a été soit annulée, soit validée","codex.review.refreshGitQueries":"Actualiser","codex.review.revert.file.error":"Échec de l’annulation de {path}","codex.review.revert.file.partialSuccess":"Annulation partielle de {path}","codex.review.revert.file.success":"Annulation de {path}","codex.review.revert.hunk.error":"Échec de l’annulation du hunk {hunkNumber} dans {path}","codex.review.revert.hunk.partialSuccess":"Annulation partielle du hunk {hunkNumber} dans {path}","codex.review.revert.hunk.success":"Annulation du hunk {hunkNumber} dans {path}","codex.review.revert.section.error":"Échec de l’annulation de la section","codex.review.revert.section.partialSuccess":"Annulation partielle de la section","codex.review.revert.section.success":"Section annulée","codex.review.revertDialog.cancel":"Annuler","codex.review.revertDialog.confirm":"Confirmer","codex.review.revertDialog.message":"Cette action supprime toutes ces modifications.","codex.review.revertDialog.skip":"Ne plus me demander","codex.review.revertDialog.title":"Annuler les modifications ?","codex.review.richPreview.disable":"Désactiver l’aperçu enrichi","codex.review.richPreview.enable":"Activer l’aperçu enrichi","codex.review.source.cloud":"Modifications cloud","codex.review.source.local.all":"Toutes les modifications de la branche","codex.review.source.local.lastTurn":"Modifications du dernier tour","codex.review.source.local.uncommitted":"Modifications non validées","codex.review.source.worktree":"Modifications de l’arbre de travail non commitées","codex.review.stageFilter.empty.staged.description":"Accepter les modifications pour les indexer","codex.review.stageFilter.empty.staged.title":"Aucune modification indexée","codex.review.stageFilter.empty.unstaged.description":"Les modifications de code apparaîtront ici","codex.review.stageFilter.empty.unstaged.title":"Aucune modification non indexée","codex.review.stageFilter.staged":"Indexés","codex.review.stageFilter.staged.count":"Indexés · {count}","codex.review.stageFilter.unstaged":"Non indexés","codex.review.stageFilter.unstaged.count":"Non indexés · {count}","codex.review.switchToSplit":"Basculer pour scinder le diff","codex.review.switchToUnified":"Passer au diff unifié","codex.review.toggleDiffView":"Activer/désactiver la vue diff","codex.review.wordDiffs.disable":"Désactiver les diffs par mots","codex.review.wordDiffs.enable":"Activer les diffs par mots","codex.review.wrap.disable":"Désactiver le retour automatique à la ligne","codex.review.wrap.enable":"Activer le retour automatique à la ligne","codex.section.patch.missing":"Impossible de créer le correctif pour cette section.","codex.shell.collapse":"Réduire le shell","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Contenu du shell copié","codex.shell.copy.copyTooltip":"Copier le contenu du shell","codex.shell.copyCommand":"Copier la commande","codex.shell.copyOutput":"Copier le résultat","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Développer le shell","codex.shell.name":"Shell","codex.shell.noOutput":"Aucune sortie","codex.signInFailed.message":"La connexion a échoué : {rawMessage}","codex.stories.toast.show":"Afficher le message d’information","codex.stories.tooltip.basic":"Ceci est une infobulle","codex.stories.tooltip.hoverMe":"Survolez-moi","codex.stories.tooltip.largerOffset":"Cette infobulle présente un décalage plus important","codex.stories.tooltip.offsetButton":"Plus grand décalage","codex.stories.tooltip.shortcutButton":"Avec raccourci","codex.stories.tooltip.withShortcut":"Activer/désactiver le terminal","codex.taskRow.title":"Nouveau fil","codex.taskRowLayout.confirm":"Confirmer","codex.threadFindBar.chatFilter":"Rechercher un chat","codex.threadFindBar.close":"Fermer la barre de recherche","codex.threadFindBar.diffFilter":"Rechercher dans les diffs","codex.threadFindBar.label":"Rechercher dans le fil","codex.threadFindBar.nextResult":"Résultat suivant","codex.threadFindBar.noResults":"0 résultat","codex.threadFindBar.placeholder":"Rechercher dans le fil...","codex.threadFindBar.placeholder.extension":"Rechercher dans le fil...","codex.threadFindBar.placeholder.review":"Rechercher dans le diff...","codex.threadFindBar.placeholder.review.extension":"Rechercher dans le diff...","codex.threadFindBar.previousResult":"Résultat précédent","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.unifiedDiff.inlineLargeFile":"Diff trop volumineux pour un rendu inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Annuler","codex.unifiedDiff.revertPatchError":"Échec de l’annulation des modifications","codex.unifiedDiff.revertPatchSuccess":"Modifications annulées","codex.unifiedDiff.reviewChangesSuffix":"modifications","codex.unifiedDiff.reviewShort":"Examiner","codex.unifiedDiff.viewDiffTooltip":"Examiner","codex.upsellBanner.business.headline":"Pour obtenir un accès étendu dès maintenant, envoyez une demande à votre administrateur, ou attendez jusqu’au {resetDate}.","codex.upsellBanner.cbp.headline":"Pour obtenir un accès étendu dès maintenant, envoyez une demande à votre administrateur.","codex.upsellBanner.cta.addCredits":"Ajouter des crédits","codex.upsellBanner.cta.upgradeAccount":"Mettre à niveau","codex.upsellBanner.cta.viewUsage":"Afficher l’utilisation","codex.upsellBanner.free.trialHeadline":"Votre limite d’utilisation sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex et accéder à GPT-5.3-Codex, commencez votre essai gratuit de Plus dès aujourd’hui.","codex.upsellBanner.freeOrGo.headline":"Votre limite d’utilisation sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, passez à Plus dès aujourd’hui.","codex.upsellBanner.general.headline":"Votre limite d’utilisation sera réinitialisée le {resetDate}.","codex.upsellBanner.general.title":"Vous avez atteint la limite de messages Codex","codex.upsellBanner.go.trialHeadline":"Votre limite d’utilisation sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, commencez votre essai gratuit de Plus dès aujourd’hui.","codex.upsellBanner.plus.headline":"Votre limite d’utilisation sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, ajoutez des crédits ou passez à Pro dès aujourd’hui.","codex.upsellBanner.pro.headline":"Votre limite d’utilisation sera réinitialisée le {resetDate}. Ajoutez des crédits pour continuer à utiliser Codex.","codex.userMessage.autoResolveSync":"Résolution automatique des conflits","codex.userMessage.commentCount":"{count, plural, one {# commentaire} many {# commentaires} other {# commentaires}}","codex.userMessage.copiedAriaLabel":"Copié","codex.userMessage.copiedTooltip":"Copié","codex.userMessage.copyAriaLabel":"Copier le message","codex.userMessage.copyTooltip":"Copier","codex.userMessage.implementPlan":"Mettre en œuvre le plan","codex.userMessage.noContent":"(Aucun contenu)","codex.userMessage.priorConversation":"Fait référence à une conversation précédente","codex.userMessage.reviewMode":"Mode vérification","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"pour {query}","codex.webSearch.summary.verb.completed":"Recherche web effectuée","codex.webSearch.summary.verb.inProgress":"Recherche web","codex.windowsInstallWslBanner.dismiss":"Ignorer","codex.windowsInstallWslBanner.installWslCta":"Activer l’environnement de test","codex.windowsInstallWslBanner.learnMore":"En savoir plus","codex.windowsSandboxBanner.content":"Le mode Agent utilise un environnement de test expérimental sous Windows pour limiter l’accès au système de fichiers et au réseau. {sandboxLink}","codex.windowsSandboxBanner.title":"Activer l’environnement de test pour le mode Agent","codex.windowsSubDropdown.windowsSandbox":"Environnement de test Windows","codex.windowsSubDropdown.windowsSettings":"Paramètres Windows","codexUpgradeModal.body":"Notre dernier modèle de codage agentique avancé : plus intelligent, plus rapide et plus performant pour les tâches techniques générales. {link}","codexUpgradeModal.close":"Fermer","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"En savoir plus","codexUpgradeModal.title":"Lancement de GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Essayer GPT-5.3-Codex maintenant","codexUpgradeModal.useExistingModel":"Continuer avec le modèle actuel","commentAttachments.numComments":"{count, plural, one {# commentaire} many {# commentaires} other {# commentaires}}","commentAttachments.removeAriaLabel":"Supprimer la pièce jointe des commentaires","common.close":"Fermer","composer.addContext.openFilePickerError":"Impossible d’ouvrir le sélecteur de fichiers","composer.addContextDropdown.ariaLabel":"Ajouter des fichiers et plus encore","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Ajouter des fichiers et plus encore","composer.addPhotosAndFiles":"Ajouter des photos et des fichiers","composer.atMentionList.emptyQuery":"Saisissez du texte pour rechercher des fichiers","composer.atMentionList.loading":"Recherche de fichiers...","composer.atMentionList.noResults":"Aucun résultat","composer.attemptsSelector.option":"{count, plural, one {# version} many {# versions} other {# versions}}","composer.attemptsSelector.tooltip":"Nombre de tentatives simultanées que Codex peut effectuer","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"Exécution de {count, plural, one {# terminal} many {# terminaux} other {# terminaux}}","composer.backgroundTerminals.stop":"Arrêter","composer.cleanBackgroundTerminals.error":"Impossible d’arrêter les terminaux en arrière-plan.","composer.cloudFollowUp.cloud":"Dans le cloud","composer.cloudFollowUp.local":"Localement","composer.cloudFollowUp.whereRun":"Où cette tâche de suivi doit-elle s’exécuter ?","composer.cloudTaskCreationError":"Erreur lors de la création de la tâche dans le cloud","composer.cloudTaskError":"Erreur lors de la création de la tâche","composer.contextWindow.autoCompactionTooltipLine1":"Codex compacte automatiquement le contexte","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Fenêtre contextuelle :","composer.contextWindowUsageStatusFull":"Remplissage : {usage} %","composer.contextWindowUsageStatusLeft":"{usage} % utilisé(s) ({remaining} % restant(s))","composer.contextWindowUsageTooltip":"{usedTokens}000 tokens utilisés sur {contextWindow}000","composer.customCliTooltip":"Utilisation d’un exécutable CLI personnalisé","composer.dictation.aria":"Dicter","composer.dictation.cancel.aria":"Arrêter la dictée","composer.dictation.cancel.tooltip":"Arrêter la dictée","composer.dictation.startError":"Impossible de démarrer la dictée","composer.dictation.submit.aria":"Transcrire et insérer","composer.dictation.submit.tooltip":"Transcrire et insérer","composer.dictation.tooltip":"Maintenez enfoncé pour dicter","composer.dictation.transcribeError":"Impossible de transcrire l’audio","composer.dictation.unsupported":"La dictée n’est pas disponible sur cet appareil","composer.dropOverlay.holdShift":"Maintenez la touche {key} enfoncée pour déposer","composer.dropOverlay.shiftKey":"Maj","composer.environmentSelector.createNew":"Créer un nouvel environnement","composer.environmentSelector.error":"Erreur lors du chargement des environnements","composer.environmentSelector.goBack":"Revenir au composeur","composer.environmentSelector.title":"Sélectionner un environnement","composer.environmentSelector.tooltip":"Sélectionner un environnement cloud","composer.feedbackSlashCommand.title":"Commentaires","composer.filePicker.selectFile":"Sélectionner un fichier","composer.filePicker.selectFiles":"Sélectionner des fichiers","composer.followerTooltip":"Pour continuer, revenez à la fenêtre où cette conversation a débuté.","composer.footer.branchSwitch.checkoutError":"Impossible de changer de branche : {message}","composer.footer.branchSwitch.createAndCheckout":"Créer et extraire une nouvelle branche...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Commitez les modifications pour créer et extraire une nouvelle branche","composer.footer.branchSwitch.createBranchError":"Échec de la création de la branche : {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nom de la branche","composer.footer.branchSwitch.createDialog.branchExistsError":"La branche existe déjà.","composer.footer.branchSwitch.createDialog.close":"Fermer","composer.footer.branchSwitch.createDialog.createAndCheckout":"Créer et extraire","composer.footer.branchSwitch.createDialog.placeholder":"nouvelle-branche","composer.footer.branchSwitch.createDialog.title":"Créer et extraire une nouvelle branche","composer.footer.branchSwitch.createDialog.trailingSlashError":"Le nom de la branche ne peut pas se terminer par « / ».","composer.footer.branchSwitch.tooltip":"Changer de branche","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Effectuez un commit des modifications dans {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}} pour extraire {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"modifications dans {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}} pour extraire {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Annuler","composer.footer.branchSwitch.uncommittedDialog.commit":"Effectuer le commit et changer de branche...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Les modifications apportées aux fichiers suivants seraient remplacées par l'extraction :","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Effectuez un commit de vos modifications pour continuer","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"la branche sélectionnée","composer.footer.branchSwitch.uncommittedDialog.title":"Effectuez un commit pour changer de branche","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Non commités : {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}}","composer.forkSlashCommand.description":"Créer un embranchement de ce fil en local ou dans un nouvel arbre de travail","composer.forkSlashCommand.option.local.description":"Continuer dans un nouveau fil local","composer.forkSlashCommand.option.local.title":"Embranchement local","composer.forkSlashCommand.option.worktree.description":"Continuer dans un nouvel arbre de travail","composer.forkSlashCommand.option.worktree.title":"Embranchement vers un nouvel arbre de travail","composer.forkSlashCommand.title":"Dupliquer","composer.ideContextIndicator":"Contexte IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Incluez des éléments de contexte de l’IDE comme{br}la sélection de l’état et les fichiers ouverts.","composer.ideContextIndicator.tooltipToggle":"pour basculer","composer.ideContextSlashCommand.disableDescription":"Désactiver le contexte IDE","composer.ideContextSlashCommand.enableDescription":"Inclure la sélection actuelle, les fichiers ouverts et d’autres éléments de contexte depuis votre IDE","composer.ideContextSlashCommand.title":"Contexte IDE","composer.imageInputsUnsupported":"Ce modèle ne prend pas en charge les entrées d’images. Essayez un autre modèle.","composer.imageUploadFailed":"Échec du chargement de l’image","composer.includeIdeContextDropdown":"Inclure le contexte IDE","composer.includeIdeContextDropdown.ariaLabel":"Inclure le contexte IDE","composer.localCwdDropdown.addWorkspaceRoot":"Ajouter un nouveau projet","composer.localCwdDropdown.noActiveRoot":"Sélectionner votre projet","composer.localCwdDropdown.noResults":"Aucun dossier trouvé","composer.localCwdDropdown.title":"Sélectionner votre projet","composer.localTaskError":"Erreur lors du démarrage de la conversation","composer.mcpSlashCommand.description":"Afficher le statut du serveur MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Non authentifié","composer.mcpStatus.authOauth":"Authentifié (OAuth)","composer.mcpStatus.authToken":"Authentifié (clé API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Fermer","composer.mcpStatus.disabled":"Désactivé","composer.mcpStatus.emptyLabel":"Serveurs :","composer.mcpStatus.emptyValue":"Aucun serveur MCP configuré","composer.mcpStatus.enabled":"Activé","composer.mcpStatus.errorLabel":"Statut :","composer.mcpStatus.errorValue":"Impossible de charger le statut MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Changer de mode","composer.mode.agentMode.custom":"Personnalisé","composer.mode.agentMode.custom.dropdownLabel":"Personnalisé","composer.mode.agentMode.custom.option":"Personnalisé (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personnalisé (config.toml)","composer.mode.agentMode.customInfo.cancel":"Annuler","composer.mode.agentMode.customInfo.cli":"Vous pouvez modifier ces paramètres dans la CLI ou directement dans le fichier.","composer.mode.agentMode.customInfo.confirm":"Utiliser le mode personnalisé","composer.mode.agentMode.customInfo.description":"Le mode personnalisé applique les politiques d’approbation et de test définies dans votre fichier <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Vous trouverez plus d’informations sur la configuration des politiques d’approbation et de test dans la <link>documentation de l’environnement d’exécution</link>.","composer.mode.agentMode.customInfo.refresh":"Les modifications prennent effet lors de la prochaine exécution de l’agent.","composer.mode.agentMode.customInfo.title":"Fonctionnement du mode personnalisé","composer.mode.agentMode.fullAccess":"Agent (accès complet)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (accès complet)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (accès complet)","composer.mode.agentMode.fullAccessConfirm.caution":"Attention : l’activation de l’accès complet comporte un risque accru de perte de données, de fuites ou de comportements inattendus.","composer.mode.agentMode.fullAccessConfirm.confirm":"Oui, continuer","composer.mode.agentMode.fullAccessConfirm.description":"Lorsque Codex dispose d’un accès complet, il peut modifier n’importe quel fichier de votre ordinateur et exécuter des commandes avec accès au réseau, sans votre approbation.","composer.mode.agentMode.fullAccessConfirm.goBack":"Annuler","composer.mode.agentMode.fullAccessConfirm.title":"Activer l’accès complet ?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Changer de mode","composer.mode.agentMode.tooltip.auto":"Lire et modifier des fichiers, et exécuter des commandes.","composer.mode.agentMode.tooltip.custom":"Utiliser les dernières politiques d’approbation et de test définies dans le fichier config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex peut modifier des fichiers en dehors de ce projet et exécuter des commandes avec un accès au réseau. À utiliser avec précaution.","composer.mode.agentMode.tooltip.readOnly":"Nécessite une approbation pour modifier les fichiers et exécuter des commandes.","composer.mode.cloud.tooltip":"Travailler dans un environnement cloud","composer.mode.contactAdmin":"Pour étendre votre accès, contactez votre administrateur","composer.mode.local":"Localement","composer.mode.local.learnMore":"En savoir plus","composer.mode.local.model.custom":"Personnalisé","composer.mode.local.model.loadingModel":"Chargement du modèle","composer.mode.local.model.selecrReasoningEffort":"Sélectionnez le raisonnement","composer.mode.local.model.selectModel":"Sélectionner un modèle","composer.mode.local.model.tooltip":"Choisir le modèle","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Approfondi","composer.mode.local.reasoning.low.label":"Limité","composer.mode.local.reasoning.medium.label":"Intermédiaire","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Aucun","composer.mode.local.reasoning.xhigh.label":"Très élevé","composer.mode.localRemoteWhereRun":"Sélectionner où exécuter la tâche","composer.mode.newTask.header":"Continuer vers","composer.mode.rateLimit.day":"{days} j","composer.mode.rateLimit.heading":"Crédits restants","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Limite de {modelName} :","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {limite hebdomadaire} many {Limite de {weeks} par semaine} other {Limite de {weeks} par semaine}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Par semaine} many {{weeks} semaines} other {{weeks} semaines}}","composer.mode.remote.connectToCloud":"Connecter Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Configurez un environnement via Codex Web pour activer l'envoi de tâches vers le cloud","composer.mode.remote.selectEnvironment":"Sélectionner un environnement","composer.mode.remote.sendToCloud":"Envoyer vers le cloud","composer.mode.remote.setupViaWeb":"Configurer un environnement via Codex Web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Travailler dans l’environnement cloud","composer.mode.segmentedToggle.local.tooltip":"Travailler dans votre projet local","composer.mode.segmentedToggle.worktree.tooltip":"Travailler dans un arbre de travail parallèle","composer.mode.upgradeToPlus":"Passer à ChatGPT Plus","composer.mode.upgradeToPro":"Passer à ChatGPT Pro","composer.mode.workLocally":"Projet local","composer.mode.workLocally.currentBranchFallback":"votre branche","composer.mode.workLocally.tooltip":"Travailler sur {branchName}","composer.mode.worktree":"Nouvel arbre de travail","composer.mode.worktree.submoduleWarning":"Ce référentiel contient des sous-modules git. La création de l’arbre de travail pourrait échouer.","composer.mode.worktree.tooltip":"Créez une copie de votre projet local pour travailler en parallèle","composer.mode.worktreeSegment":"Arbre de travail","composer.modelChangeDuringConversationWarning.toast":"Le changement de modèle en cours de conversation entraînera une dégradation des performances.","composer.newChat.heading.browser":"Qu’allons-nous coder maintenant ?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex utilise l’autorisation définie dans config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex dispose d’un accès complet sur votre ordinateur (risque élevé)","composer.permissionsDropdown.custom.label":"Personnalisé (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personnalisé (config.toml)","composer.permissionsDropdown.default.label":"Autorisations par défaut","composer.permissionsDropdown.default.optionLabel":"Autorisations par défaut","composer.permissionsDropdown.default.tooltip":"Codex exécute automatiquement les commandes dans un environnement de test (sandbox)","composer.permissionsDropdown.disabled.requirements":"Les autorisations sont verrouillées par requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"L’accès complet est désactivé par requirements.toml","composer.permissionsDropdown.fullAccess.label":"Accès complet","composer.permissionsDropdown.fullAccess.optionLabel":"Accès complet","composer.permissionsDropdown.trigger.tooltip":"Modifier les autorisations","composer.personalitySlashCommand.description.friendly":"Sympathique, enclin à collaborer et utile","composer.personalitySlashCommand.description.pragmatic":"Concis, direct, centré sur les tâches à accomplir","composer.personalitySlashCommand.label.friendly":"Amical","composer.personalitySlashCommand.label.pragmatic":"Pragmatique","composer.personalitySlashCommand.notApplicableSuffix":"(Ne s’applique pas au modèle actuel)","composer.personalitySlashCommand.title":"Personnalité","composer.placeholder.cloudFollowUp.directFollowUp":"Suivi de cette tâche cloud","composer.placeholder.cloudFollowUp.local":"Créer une nouvelle tâche locale faisant référence à cette tâche cloud","composer.placeholder.cloudFollowUp.workingTree":"Créer une nouvelle tâche cloud qui inclut votre code actuel et fera référence à cette tâche","composer.placeholder.localFollowUp.cloud":"Suivi dans une nouvelle tâche cloud","composer.placeholder.localFollowUp.locally":"Demander des modifications de suivi","composer.placeholder.newTask.cloud":"Demander à Codex de tout faire dans le cloud","composer.placeholder.newTask.doAnything":"Demandez à Codex d’exécuter une tâche","composer.placeholder.newTask.locally":"Demandez à Codex, @ pour l’ajout de fichiers, / pour les commandes","composer.planModeDropdown":"Mode plan","composer.planModeDropdown.ariaLabel":"Mode plan","composer.planModeIndicator":"Forfait","composer.planModeIndicator.hintShortcut":"Cmd + Maj. + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Créer un plan avec Codex","composer.planModeIndicator.tooltipToggle":"pour basculer","composer.planSlashCommand.disableDescription":"Désactiver le mode plan","composer.planSlashCommand.enableDescription":"Activer le mode plan","composer.planSlashCommand.title":"Mode plan","composer.priorContext.label":"Contexte antérieur","composer.priorContext.removeAriaLabel":"Supprimer le contexte antérieur","composer.queuedMessage.delete":"Supprimer le message mis en file d’attente","composer.queuedMessage.edit":"Modifier le message","composer.queuedMessage.more":"Actions des messages mis en file d’attente","composer.queuedMessage.sendNow":"Pilotage","composer.queuedMessage.sendNowTooltip":"Envoyer maintenant sans interrompre le travail","composer.queuedMessage.turnOff":"Désactiver la mise en file d’attente","composer.reasoningEffort.local.reasoning.tooltip":"Sélectionnez le niveau de raisonnement","composer.remote.branchStartingPoint":"À partir de quelle branche cette tâche doit-elle démarrer ?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Créer une nouvelle tâche faisant référence à cette tâche du cloud.","composer.remote.currentEditsSuffix.useLocal":"avec les modifications locales du code","composer.remote.directFollowUp":"Ne pas utiliser les modifications locales du code","composer.remote.errorLoadingBranches":"Erreur lors du chargement des branches","composer.remote.fromBranch":"Depuis {branch}","composer.remote.fromCurrentBranch":"Depuis {branch} (branche actuelle)","composer.remote.loadingMoreBranches":"Chargement...","composer.remote.localFileStateHeading":"État du fichier local","composer.remote.localWorkingTree":"Utiliser les modifications locales","composer.remote.startingPoint":"À partir de quel code cette tâche doit-elle démarrer ?","composer.reviewMode.branches.error":"Impossible de charger les branches","composer.reviewMode.branches.retry":"Réessayer","composer.reviewMode.gitRoot.error":"Racine Git introuvable","composer.reviewMode.option.baseBranch.simple":"Examiner par rapport à une branche principale","composer.reviewMode.option.unstaged.simple":"Examiner les modifications non validées","composer.reviewMode.quickReviewError":"Échec du lancement de l’examen du code.","composer.reviewMode.title":"Examen du code","composer.sandboxButton.unlock.disabled.tooltip":"L’accès complet est désactivé par requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex utilise un environnement de test expérimental sous Windows pour limiter l’accès au système de fichiers et au réseau. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Activer l’environnement de test Windows ?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Utiliser le mode lecture seule","composer.searchEnvironments":"Rechercher dans les environnements","composer.skillMentionList.app":"Appli","composer.skillMentionList.appLogoAlt":"Logo {name}","composer.skillMentionList.loading":"Chargement des compétences…","composer.skillMentionList.noResults":"Aucune compétence trouvée","composer.slashCommands.cloudEnvironment.title":"Environnement cloud","composer.slashCommands.dialogLabel":"Menu de commandes slash","composer.slashCommands.dialogTitle":"Commandes slash","composer.slashCommands.disabledTooltip":"Démarrez une nouvelle conversation pour utiliser les commandes slash","composer.slashCommands.inputPlaceholder":"Rechercher","composer.slashCommands.noResults":"Aucune commande","composer.slashCommands.skillsGroup":"Compétences","composer.slashCommands.tooltip":"Parcourir les commandes slash","composer.status.close":"Fermer","composer.statusPlain.alertLabel":"Alerte :","composer.statusPlain.alertValue":"{remaining} % restants sur {window}","composer.statusPlain.contextLabel":"Contexte :","composer.statusPlain.contextTotal":"{count} K","composer.statusPlain.contextValueMetadata":"({used} utilisés / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % restants","composer.statusPlain.heading":"Statut","composer.statusPlain.modelRateLimitSectionLabel":"Limite de {modelName} :","composer.statusPlain.rateLimitDays":"Limite de {count} j","composer.statusPlain.rateLimitFallbackLabel":"Limite d’utilisation :","composer.statusPlain.rateLimitHours":"Limite de {count} h","composer.statusPlain.rateLimitLabelBase":"Limite d’utilisation","composer.statusPlain.rateLimitMinutes":"Limite de {count} min","composer.statusPlain.rateLimitPercent":"{remaining} % restants","composer.statusPlain.rateLimitReset":"Réinitialisation : {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"heure de réinitialisation non disponible","composer.statusPlain.rateLimitUnavailable":"Indisponible","composer.statusPlain.sessionCopiedAriaLabel":"ID session copié","composer.statusPlain.sessionCopiedTooltip":"ID copié","composer.statusPlain.sessionCopyAriaLabel":"Copier l’ID session","composer.statusPlain.sessionCopyTooltip":"Copier l’ID","composer.statusPlain.sessionLabel":"Session :","composer.statusSlashCommand.description":"Afficher l’ID fil, l’usage du contexte et les limites d’utilisation","composer.statusSlashCommand.title":"Statut","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Impossible d’envoyer le message","composer.submit.emptyMessage":"Pour commencer, saisissez un message","composer.submit.imageInputsUnsupported":"Supprimez les images ou changez de modèle pour envoyer ce message.","composer.submit.loadingLocalConfig":"Chargement...","composer.submit.missingCloudConfig":"Vous devez sélectionner un environnement cloud","composer.submit.missingCloudTurn":"Impossible d’effectuer un suivi de cette tâche","composer.submit.noWorkspace":"Ajouter un projet pour utiliser Codex","composer.submit.waitForImageUploads":"Chargement des images en cours...","composer.submitButtonTooltip.send":"Envoyer","composer.submitButtonTooltip.stop":"Arrêter","composer.worktreeEnvironment.create":"Créer un environnement local","composer.worktreeEnvironment.default":"Environnement par défaut","composer.worktreeEnvironment.error":"Erreur lors du chargement des environnements","composer.worktreeEnvironment.loading":"Chargement des environnements…","composer.worktreeEnvironment.title":"Environnement local","composer.worktreeEnvironment.tooltip":"Sélectionner un environnement local","composer.worktreeSetupFailed":"Échec de la configuration de l’arbre de travail. Vérifiez le script de configuration .codex/environments.","compoundButton.secondaryAction":"Action secondaire","copyButton.copied":"Copié","copyButton.copiedAriaLabel":"Copié","copyButton.copy":"Copier","copyButton.copyAriaLabel":"Copier","copyButton.copyCode":"Copier le code","diff.actionButton.revertFile":"Rétablir le fichier","diff.actionButton.revertHunk":"Revenir","diff.actionButton.revertSection":"Rétablir tout","diff.actionButton.revertSectionLabel":"Rétablir tout","diff.actionButton.stageFile":"Indexer un fichier","diff.actionButton.stageHunk":"Indexer","diff.actionButton.stageSection":"Indexer tout","diff.actionButton.stageSectionLabel":"Indexer tout","diff.actionButton.unstageFile":"Désindexer un fichier","diff.actionButton.unstageHunk":"Désindexer","diff.actionButton.unstageSection":"Désindexer tout","diff.actionButton.unstageSectionLabel":"Désindexer tout","diff.fileHeader.toggle":"Activer/désactiver le diff de fichiers","electron.onboarding.login.apikey.cancel":"Annuler","electron.onboarding.login.apikey.continue":"Continuer","electron.onboarding.login.apikey.label":"Clé API OpenAI","electron.onboarding.login.apikey.open":"Saisir la clé API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Annuler la connexion","electron.onboarding.login.chatgpt.continue":"Continuer avec ChatGPT","electron.onboarding.login.devbox":"Se connecter à un SSH distant","electron.onboarding.login.error":"La connexion a échoué : {rawMessage}","electron.onboarding.login.snake.start":"Lancer Snake","electron.onboarding.login.sshConfig.cancel":"Annuler","electron.onboarding.login.sshConfig.continue":"Continuer","electron.onboarding.login.sshConfig.hostnameLabel":"Nom d’hôte SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Le meilleur moyen de créer avec des agents","electron.onboarding.login.title":"Bienvenue dans Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuer","electron.onboarding.welcome.doubleLimits.description":"Pour fêter le lancement de l’application Codex, nous vous offrons le doublement de vos limites d’utilisation jusqu’au 2 avril.","electron.onboarding.welcome.freego.description":"Codex est inclus gratuitement dans votre forfait jusqu’au 2 mars. Commençons à créer ensemble.","electron.onboarding.welcome.new.title.anon":"Bienvenue !","electron.onboarding.workspace.continue":"Continuer","electron.onboarding.workspace.empty":"Ajoutez un projet pour continuer.","electron.onboarding.workspace.listLabel":"Projets disponibles","electron.onboarding.workspace.loading":"Chargement des projets...","electron.onboarding.workspace.openFolder":"Ajouter un projet","electron.onboarding.workspace.selectAll":"Sélectionner tout","electron.onboarding.workspace.skip":"Ignorer","electron.onboarding.workspace.skip.error":"Impossible de créer un nouveau projet : {message}","electron.onboarding.workspace.skip.error.unknown":"Erreur inconnue","electron.onboarding.workspace.skipping":"Création d’un nouveau projet...","electron.onboarding.workspace.subtitle":"Codex pourra modifier des fichiers et exécuter des commandes dans les dossiers sélectionnés.","electron.onboarding.workspace.title":"Sélectionner un projet","errorPage.list.checkSettings":"Essayez de modifier vos paramètres IDE","errorPage.list.configToml":"Assurez-vous que votre fichier config.toml ne comporte aucun paramètre non valide","errorPage.list.downloadExtension":"Essayez de télécharger une autre version de l’extension","errorPage.list.runInWsl":"Si vous constatez des problèmes de compatibilité, désactivez l’exécution dans WSL dans vos paramètres","execApprovalRequest.menu.runAlways":"Oui, et ne plus demander pour cette session","execApprovalRequest.menu.runAlwaysWithAmendment":"Oui, et ne plus demander pour les commandes commençant par {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Oui, et ne plus demander pour les commandes commençant par","execApprovalRequest.menu.runOnce":"Oui","execApprovalRequest.prompt":"Souhaitez-vous exécuter cette commande ?","execApprovalRequest.reject":"Non","execFooter.exitCode":"Quitter le code {code}","execFooter.exitCode.unknown":"inconnu","execFooter.success":"Réussite","feedback.dialog.category.badResult":"Mauvais résultat","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Bon résultat","feedback.dialog.category.other":"Autre","feedback.dialog.category.safetyCheck":"Vérification de sécurité","feedback.dialog.descriptionPlaceholder":"Décrivez le problème ici","feedback.dialog.dismiss":"Ignorer","feedback.dialog.includeLogsLabel":"Inclure les journaux de session Codex actuels","feedback.dialog.submit":"Soumettre","feedback.dialog.submitError":"Nous n'avons pas pu soumettre vos commentaires. Réessayez dans quelques instants.","feedback.dialog.title":"Commentaires","feedback.dialog.uploadedMessage.existingIssue":"problème ouvert existant","feedback.dialog.uploadedMessage.openIssue":"créer un problème GitHub","feedback.dialog.uploadedMessage.withThread":"Commentaires chargés. Si le problème persiste, veuillez {openIssueLink} ou mentionner l’ID fil dans un {existingIssueLink}.","feedback.dialog.uploadedTitle":"Commentaires chargés","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Supprimer {filename}","header.back":"Retour","header.recentChats":"Tâches","header.recentTasks.seeAll":"Afficher tout ({total})","home.header.getPlus":"Obtenir Plus","home.hero.letsBuild":"Créons ensemble","homePage.mainContent":"Contenu principal","imageAttachment.defaultName":"image","imageAttachment.preview.close":"Fermer l’aperçu de l’image","imageAttachment.removeAriaLabel":"Supprimer {filename}","implementPlanRequest.option.implement":"Oui, mettre en œuvre ce plan","implementPlanRequest.prompt":"Mettre en œuvre ce plan ?","inbox.archived.deleteError":"Impossible de supprimer l’exécution archivée","inbox.archived.deleteRun":"Supprimer l’exécution archivée","inbox.archived.deleteSuccess":"Fil archivé supprimé. Voir dans <settingsLink>Fils archivés</settingsLink>.","inbox.archived.inlineLabel.auto":"Ce fil a été automatiquement archivé. <learnMoreLink>En savoir plus</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ce fil a été archivé.","inbox.archived.noMessageFound":"Aucun message trouvé","inbox.automations.createError":"Impossible de créer l’automatisation","inbox.automations.deleteConfirm.cancel":"Annuler","inbox.automations.deleteConfirm.confirm":"Supprimer l'automatisation","inbox.automations.deleteConfirm.description":"Ceci supprimera définitivement l’automatisation et interrompra toute exécution future.","inbox.automations.deleteConfirm.title":"Supprimer {name} ?","inbox.automations.deleteError":"Impossible de supprimer l’automatisation","inbox.automations.editTooltip":"Modifier l’automatisation","inbox.automations.inProgress":"En cours","inbox.automations.new":"Nouveau","inbox.automations.newToolbar":"Nouvelle automatisation","inbox.automations.pauseTooltip":"Suspendre l’automatisation","inbox.automations.resumeTooltip":"Reprendre l’automatisation","inbox.automations.startingNow":"Démarrage maintenant","inbox.automations.startsIn":"Démarre dans {startTime}","inbox.automations.status.active":"Actif","inbox.automations.status.paused":"En pause","inbox.automations.status.runs":"{count} exécutions","inbox.automations.status.started":"Début : {date}","inbox.automations.updateError":"Impossible de mettre à jour l’automatisation","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tous","inbox.filter.ariaLabel":"Filtrer les éléments de la boîte de réception","inbox.filter.unread":"Non lus","inbox.list.archived":"Archivés","inbox.list.inProgress":"En cours","inbox.list.recent":"Terminé","inbox.list.upNext":"Planifié","inbox.mode.automations":"Automatisations","inbox.mode.automations.beta":"Bêta","inbox.noDescription":"Aucune description fournie","inbox.openThread":"Ouvrir le fil","inbox.rightPanel.emptySubtitle":"Automatisez le travail en configurant des tâches planifiées","inbox.rightPanel.emptySubtitle.learnMore":"Automatisez le travail en configurant des fils planifiés. <link>En savoir plus</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatisation active} many {# automatisations actives} other {# automatisations actives}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Aucune automatisation non lue","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatisation non lue} many {# automatisations non lues} other {# automatisations non lues}}","inbox.rightPanel.emptyTitle":"Aucun élément sélectionné","inbox.rightPanel.noThread":"Aucun fil pour cet élément","inbox.rightPanel.quickStart.header":"Commencer avec un modèle","inbox.untitled":"Message sans titre","loadingPage.documentationLink":"documentation","loadingPage.errorDescription":"Codex a planté en renvoyant l’erreur suivante :","loadingPage.errorDescription.documentation":"Cliquez sur Recharger pour relancer l’extension Codex, ou rendez-vous sur {documentationLink} pour obtenir de l’aide.","loadingPage.errorSignal":"Essayez ces solutions :","loadingPage.errorTitle":"Une erreur s’est produite","loadingPage.openConfigToml":"Ouvrir le fichier config.toml","loadingPage.reload":"Recharger","localConversation.contextCompacted":"Contexte automatiquement compacté","localConversation.contextCompacting":"Compactage automatique du contexte","localConversation.finalAssistantMessageDivider":"Message final","localConversation.forkedFromConversation":"Embranchement créé à partir de {threadTitle}","localConversation.merge.autoResolve.failed":"Échec de la demande de résolution automatique : {error}","localConversation.merge.autoResolve.sent":"Demande de résolution automatique envoyée","localConversation.merge.autoResolveMerge.missingConversation":"Impossible de procéder à la résolution automatique sans conversation active.","localConversation.merge.autoResolveMerge.request":"Résoudre automatiquement les conflits de fusion","localConversation.modelChanged":"Changement de modèle de {fromModel} à {toModel}.","localConversation.modelChanged.warning.line1":"Le changement de modèle en cours de conversation entraînera une dégradation des performances.","localConversation.modelChanged.warning.line2":"Le contexte pourrait être automatiquement compacté.","localConversation.modelRerouted":"Votre demande a été acheminée vers {toModel}.","localConversation.modelRerouted.warning.line1":"Attention, votre demande a été redirigée afin de réduire les risques de cyber-abus.","localConversation.modelRerouted.warning.line2":"Vous pensez qu’il s’agit d’une erreur ? Demandez un examen sur<link>chatgpt.com/cyber</link>ou signalez le problème via /feedback.","localConversation.moveThread.createBranch.label":"Créer une branche","localConversation.moveToLocal.disabled.branchCheckedOut":"Cette branche est déjà extraite dans un autre arbre de travail","localConversation.moveToLocal.disabled.loading":"Chargement…","localConversation.moveToLocal.disabled.missingSourceHead":"Impossible de résoudre le commit HEAD de l’arbre de travail","localConversation.moveToLocal.disabled.noWorkspace":"Aucun espace de travail local trouvé pour cet arbre de travail","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"Déplacement impossible pour le moment. Vérifiez l’état de l’espace de travail local et réessayez.","localConversation.moveToLocal.error.rollbackIssues":"Problèmes de restauration : {issues}","localConversation.moveToLocal.label":"Déplacer vers l’environnement local","localConversation.moveToLocal.loading.subtitle":"Déplacement des modifications de l’arbre de travail vers l’environnement local...","localConversation.moveToLocal.loading.title":"Déplacement vers l’environnement local","localConversation.moveToLocal.modal.continue":"Continuer","localConversation.moveToLocal.modal.destinationLabel":"Déplacer vers","localConversation.moveToLocal.modal.retry":"Réessayer","localConversation.moveToLocal.modal.subtitle":"Cette branche de l’arbre de travail et les modifications non commitées seront replacées dans votre checkout local.","localConversation.moveToLocal.modal.title":"Déplacer vers l’environnement local","localConversation.moveToWorktree.error.branchRequired":"Nom de branche de l’arbre de travail requis","localConversation.moveToWorktree.error.createWorktree":"Échec de la création de l’arbre de travail : {message}","localConversation.moveToWorktree.error.move":"Échec du déplacement vers l’arbre de travail : {message}","localConversation.moveToWorktree.error.prepareBranch":"Échec de la préparation de la branche de l’arbre de travail « {branch} » : {message}","localConversation.moveToWorktree.error.rollbackIssues":"Problèmes de restauration : {issues}","localConversation.moveToWorktree.error.unknown":"Échec du déplacement vers l’arbre de travail. Veuillez réessayer.","localConversation.moveToWorktree.label":"Déplacer vers l’arbre de travail","localConversation.moveToWorktree.loading.subtitle":"Configuration de votre arbre de travail et déplacement des modifications locales…","localConversation.moveToWorktree.loading.title":"Déplacement vers l’arbre de travail","localConversation.moveToWorktree.modal.back":"Retour","localConversation.moveToWorktree.modal.branchAlreadyExists":"La branche existe déjà","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"La branche existe déjà.","localConversation.moveToWorktree.modal.branchesError":"Impossible de charger les branches","localConversation.moveToWorktree.modal.branchesLoading":"Chargement des branches...","localConversation.moveToWorktree.modal.branchesRetry":"Réessayer","localConversation.moveToWorktree.modal.continue":"Continuer","localConversation.moveToWorktree.modal.defaultBranchError":"La branche de l’arbre de travail doit être différente de la branche par défaut.","localConversation.moveToWorktree.modal.localBranchLabel":"Branche locale","localConversation.moveToWorktree.modal.localBranchPlaceholder":"Sélectionner la branche de checkout locale","localConversation.moveToWorktree.modal.noTargetBranch":"Aucune autre branche locale n’est disponible","localConversation.moveToWorktree.modal.retry":"Réessayer","localConversation.moveToWorktree.modal.subtitle":"Cette branche et toutes les modifications non commitées seront déplacées vers un arbre de travail. Vous devez extraire une autre branche localement à sa place.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex créera un nouvel arbre de travail pour ce fil.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"Choisissez un nom de branche d’arbre de travail. Codex l’utilisera à la place de la branche par défaut.","localConversation.moveToWorktree.modal.subtitle.loading":"Recherche de l’arbre de travail existant...","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"Cette branche sera déplacée vers un arbre de travail. Votre branche locale actuelle restera extraite.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex réutilisera l’arbre de travail existant pour ce fil.","localConversation.moveToWorktree.modal.title":"Déplacer vers l’arbre de travail","localConversation.moveToWorktree.modal.trailingSlashError":"Le nom de la branche ne peut pas se terminer par « / ».","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Nom de branche de l’arbre de travail","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Branche de l’arbre de travail","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nouvelle-branche","localConversation.personalityChanged":"Bascule vers la personnalité {personality}","localConversation.planSummary.collapse":"Réduire le résumé du plan","localConversation.planSummary.collapseTooltip":"Réduire","localConversation.planSummary.download":"Télécharger le plan","localConversation.planSummary.expand":"Développer le résumé du plan","localConversation.planSummary.expandTooltip":"Développer","localConversation.planSummary.openInNewWindow":"Ouvrir","localConversation.planSummary.openInNewWindow.tooltip":"Ouvrir dans une nouvelle fenêtre","localConversation.planSummary.title":"Forfait","localConversation.planSummary.titleWriting":"Écriture du plan","localConversation.planSummary.viewPlan":"Développer le plan","localConversation.previousMessagesSummary":"{count, plural, one {# message précédent} many {# messages précédents} other {# messages précédents}}","localConversation.remoteTaskCreated":"A créé {taskLink} dans Codex Cloud","localConversation.remoteTaskCreated.task":"tâche","localConversation.scrollToBottomButton":"Faire défiler jusqu'en bas","localConversation.sync.buttonLabel":"Transférer à l’environnement local","localConversation.sync.buttonLabel.tooltip":"Transférer les modifications entre cet arbre de travail et votre checkout local.","localConversation.sync.modal.loading.title":"Transfert des modifications...","localConversation.sync.modal.noChanges":"Aucune modification","localConversation.syncSetup.branchAriaLabel":"Nom de la branche","localConversation.syncSetup.branchName":"Nom de la branche","localConversation.syncSetup.branchPlaceholder.existing":"Sélectionner une branche existante","localConversation.syncSetup.branchPlaceholder.new":"codex/nouvelle-fonction","localConversation.syncSetup.branchesLoading":"Chargement des branches...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Déjà extrait","localConversation.syncSetup.checkoutClean":"Actuellement sur {branchName}","localConversation.syncSetup.checkoutDirty":"Actuellement sur {branchName} avec des modifications non commitées","localConversation.syncSetup.checkoutError":"Impossible d’extraire la branche : {message}","localConversation.syncSetup.checkoutLabel":"Extraire localement maintenant","localConversation.syncSetup.checkoutOnLocal":"Transférer à l’environnement local","localConversation.syncSetup.checkoutPending":"Vérification du statut local...","localConversation.syncSetup.checkoutUnavailable":"Espace de travail local non disponible","localConversation.syncSetup.checkoutUnknown":"Branche locale non disponible","localConversation.syncSetup.continue":"Continuer","localConversation.syncSetup.createBranchError":"Impossible de configurer la branche de transfert : {message}","localConversation.syncSetup.error":"Une erreur s’est produite : {message}","localConversation.syncSetup.error.workingTreeMissing":"Impossible de réaliser un instantané de l’arbre de travail. Veuillez réessayer le transfert.","localConversation.syncSetup.mode.ariaLabel":"Sélectionner le mode de la branche","localConversation.syncSetup.mode.existing":"Branche existante","localConversation.syncSetup.mode.new":"Nouvelle branche","localConversation.syncSetup.noBranches":"Aucune branche trouvée","localConversation.syncSetup.overwriteError":"La branche a été créée mais n’a pas été entièrement transférée. Transférez-la manuellement avant de l’extraire localement.","localConversation.syncSetup.setPrefix":"Définir un préfixe","localConversation.syncSetup.subtitle":"Tester et éditer les modifications de l’arbre de travail localement. <a>En savoir plus</a>","localConversation.syncSetup.success.checkedOut":"La branche a été créée et extraite localement","localConversation.syncSetup.success.notCheckedOut":"Branche créée","localConversation.syncSetup.title":"Transférer vers une branche locale","localConversation.syncWorktreeError.branchAriaLabel":"Nom de la branche","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/nouvelle-fonction","localConversation.syncWorktreeError.branchSetup.subtitle":"Choisissez une branche destinataire du transfert, puis essayez de recharger les modifications.","localConversation.syncWorktreeError.branchSetup.title":"Mettre à jour la branche","localConversation.syncWorktreeError.branchUpdate.cta":"Mettre à jour et réessayer","localConversation.syncWorktreeError.branchUpdate.error":"Impossible de mettre à jour la branche : {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Une erreur s’est produite : {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"La branche n’est extraite dans aucun arbre de travail.","localConversation.syncWorktreeV2.applyUncommitted":"Appliquer","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Vous devez extraire la branche localement pour appliquer les modifications non commitées","localConversation.syncWorktreeV2.branches.empty":"Aucune branche trouvée","localConversation.syncWorktreeV2.branches.loading":"Chargement des branches...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Changer la branche de transfert","localConversation.syncWorktreeV2.changeBranch.error":"Impossible de changer la branche de transfert : {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Échec de l’application","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Échec du remplacement sur l’arbre de travail","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Échec du remplacement en local","localConversation.syncWorktreeV2.commandError.back":"Retour","localConversation.syncWorktreeV2.commandError.body":"Une commande git a échoué lors du transfert. Vérifiez le résultat et réessayez.","localConversation.syncWorktreeV2.commandError.retry":"Réessayer","localConversation.syncWorktreeV2.description":"Transférer les modifications entre l’environnement local et cet arbre de travail <a>En savoir plus</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Sélectionner la direction du transfert","localConversation.syncWorktreeV2.error.generic":"Un problème est survenu lors du transfert. Veuillez réessayer.","localConversation.syncWorktreeV2.localBranchLabel":"Localement","localConversation.syncWorktreeV2.noChanges":"Calcul des modifications","localConversation.syncWorktreeV2.noChanges.summary":"Aucune modification","localConversation.syncWorktreeV2.overwrite.local":"Remplacer en local","localConversation.syncWorktreeV2.overwrite.worktree":"Remplacer sur l’arbre de travail","localConversation.syncWorktreeV2.partial.action.applyFailed":"Impossible d’appliquer les modifications","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Impossible de remplacer les modifications locales","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Impossible de remplacer les modifications de l’arbre de travail","localConversation.syncWorktreeV2.partial.appliedLabel":"Appliqué","localConversation.syncWorktreeV2.partial.back":"Retour","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Traitez les conflits et réessayez.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflits","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","localConversation.syncWorktreeV2.partial.retry":"Réessayer","localConversation.syncWorktreeV2.partial.skippedLabel":"Ignoré","localConversation.syncWorktreeV2.stateFailed.generic":"Une erreur s’est produite lors de la récupération des modifications de l’arbre de travail à transférer. Veuillez réessayer.","localConversation.syncWorktreeV2.stateFailed.title":"Impossible de charger les modifications de l’arbre de travail","localConversation.syncWorktreeV2.statusError.diffUnknown":"Impossible de charger les modifications de l’arbre de travail.","localConversation.syncWorktreeV2.statusError.retry":"Réessayer","localConversation.syncWorktreeV2.statusError.title":"Impossible de charger les modifications de la branche locale","localConversation.syncWorktreeV2.statusError.unknown":"Le statut de la branche n’est pas disponible pour le moment. Veuillez réessayer.","localConversation.syncWorktreeV2.success.apply":"Modifications appliquées avec succès","localConversation.syncWorktreeV2.success.overwrite":"Transfert réussi","localConversation.syncWorktreeV2.title":"Transférer les modifications","localConversation.syncWorktreeV2.worktreeLabel":"Arbre de travail","localConversation.userInputRequest.inProgress":"Demande en cours : {count, plural, one {question} many {questions} other {questions}}","localConversation.userInputRequest.noAnswer":"Aucune réponse fournie","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.count":"{count, plural, one {# question posée} many {# questions posées} other {# questions posées}}","localConversation.workedFor":"Exécution durant {time}","localConversation.worktreeBranchSetup.action.create":"Créer","localConversation.worktreeBranchSetup.branchAriaLabel":"Nom de la branche","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Créer une nouvelle branche","localConversation.worktreeBranchSetup.checkoutDisabled":"Cette branche est déjà extraite à {location}","localConversation.worktreeBranchSetup.checkoutError":"Impossible d’extraire la branche : {message}","localConversation.worktreeBranchSetup.createBranchError":"Impossible de configurer la branche : {message}","localConversation.worktreeBranchSetup.error":"Une erreur s’est produite : {message}","localConversation.worktreeBranchSetup.subtitle":"Créez une branche pour commiter les modifications, pousser et créer une demande d’extraction à partir de cet arbre de travail. <a>En savoir plus</a>","localConversation.worktreeBranchSetup.title":"Travaillez ici","localConversationPage.addWorktreeToSidebar.tooltip":"Enregistrez comme projet afin de démarrer de nouveaux fils depuis cet arbre de travail","localConversationPage.addWorktreeToSidebarError":"Impossible d’ajouter le projet","localConversationPage.commitAndCreatePrModal.errorTitle":"Échec du commit et de la création de la PR","localConversationPage.commitAndCreatePrModal.successTitle":"Commit et création de la PR avec succès","localConversationPage.commitAndPushModal.errorTitle":"Échec du commit et du push","localConversationPage.commitAndPushModal.successTitle":"Commit et push des modifications avec succès","localConversationPage.commitCreatePr.open":"Ouvrir la demande d’extraction","localConversationPage.commitCreatePr.successTitle":"Création réussie de la PR avec vos dernières modifications","localConversationPage.createBranchButtonLabel":"Créer une branche ici","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Créer une demande d’extraction","localConversationPage.createPrModal.createDescription":"Ouvrez une demande d’extraction pour vos modifications les plus récentes.","localConversationPage.createPrModal.errorTitle":"Échec de la demande d’extraction","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Ouvrir une PR","localConversationPage.createPrModal.successTitle":"Demande d’extraction créée","localConversationPage.createPrModal.title":"Créer une demande d’extraction","localConversationPage.createPrModal.viewDescription":"Une demande d’extraction existe déjà pour cette branche.","localConversationPage.createPrModal.viewTitle":"Demande d’extraction prête","localConversationPage.createPullRequestAuthGh":"Authentifier GitHub CLI : exécuter `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informations de la branche non disponibles","localConversationPage.createPullRequestButtonLabel":"Créer une demande d’extraction","localConversationPage.createPullRequestButtonLabel.loading":"Création de la demande d’extraction...","localConversationPage.createPullRequestDefaultBranchMissing":"Les informations de la branche par défaut ne sont pas disponibles","localConversationPage.createPullRequestError":"Impossible de créer la demande d’extraction","localConversationPage.createPullRequestExistingPullRequest":"Une demande d’extraction existe déjà pour cette branche","localConversationPage.createPullRequestGhStatusMissing":"Chargement du statut de GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Installer GitHub CLI (gh) pour créer des PR","localConversationPage.createPullRequestNoRepo":"Aucun référentiel git trouvé","localConversationPage.createPullRequestPushStatusMissing":"Chargement du statut du push…","localConversationPage.createPullRequestSetUpstream":"Pousser cette branche avant de créer une PR","localConversationPage.createPullRequestSuccessToast":"Demande d’extraction créée","localConversationPage.createPullRequestSwitchBranch":"Extraire une branche de fonctionnalité avant de créer une PR","localConversationPage.error.render":"Erreur d’affichage de la conversation locale","localConversationPage.error.toast":"Conversation introuvable","localConversationPage.forcePushError":"Impossible de forcer le push","localConversationPage.generatePullRequestMessageError":"Impossible de générer le titre et le corps de la demande d’extraction","localConversationPage.generatePullRequestMessageFailed":"Impossible de générer le titre et le corps de la demande d’extraction.","localConversationPage.gitActionResult.branch":"Branche","localConversationPage.gitActionResult.cancel":"Annuler","localConversationPage.gitActionResult.close":"Fermer","localConversationPage.gitActionResult.tryAgain":"Réessayer","localConversationPage.gitActions":"Actions Git","localConversationPage.newChat":"Nouveau chat","localConversationPage.openInTarget":"Ouvrir dans","localConversationPage.openPrimaryTarget":"Ouvrir","localConversationPage.planItemsCompleted":"{completedItems} sur {totalItems, plural, one {# tâche terminée} many {# tâches terminées} other {# tâches terminées}}","localConversationPage.pushAuthError":"Échec du push : authentification requise","localConversationPage.pushBranchMissing":"Informations de la branche non disponibles","localConversationPage.pushButtonLabel":"Notifications push","localConversationPage.pushButtonLabel.loading":"Push...","localConversationPage.pushError":"Impossible de pousser les modifications","localConversationPage.pushModal.branchLabel":"Branche","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Annuler","localConversationPage.pushModal.confirm":"Notifications push","localConversationPage.pushModal.description":"Poussez vos dernières modifications vers le référentiel distant.","localConversationPage.pushModal.errorTitle":"Échec du push","localConversationPage.pushModal.forcePush":"Forcer le push","localConversationPage.pushModal.successTitle":"Push terminé","localConversationPage.pushModal.title":"Pousser les modifications","localConversationPage.pushModal.tryAgain":"Réessayer","localConversationPage.pushNoUpstream":"Définir un upstream avant de pousser cette branche","localConversationPage.pushNoUpstreamError":"Échec du push : aucun upstream configuré","localConversationPage.pushNothingToPush":"Aucun nouveau commit à pousser","localConversationPage.pushRemoteChangedError":"Échec du push : nouveaux commits sur le référentiel distant","localConversationPage.pushRemoteRejectedError":"Push rejeté par le référentiel distant","localConversationPage.pushStatusMissing":"Chargement du statut du push…","localConversationPage.pushSuccessToast":"Push des modifications exécuté","localConversationPage.viewPullRequestButtonLabel":"Voir la demande d’extraction","localConversationPage.viewPullRequestButtonLabel.loading":"Chargement de la demande d’extraction...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liste} many {# listes} other {# listes}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# recherche} many {# recherches} other {# recherches}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Exploration","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"A parcouru","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} parcourus","localConversationTurnStory.showContent":"Afficher le contenu","localConversationTurnStory.streamContent":"Afficher le contenu en direct","localConversationTurnStory.toggleReasoning":"Afficher le raisonnement","localTaskRow.archiveError":"Échec de l’archivage de la conversation","localTaskRow.resumeError":"Échec du redémarrage de la tâche","mermaidDiagram.ariaLabel":"Diagramme Mermaid","mermaidDiagram.copySource":"Copier le mermaid","mermaidDiagram.originalCode":"Code source Mermaid","notifications.permissions.description":"Afficher les alertes quand des autorisations de notification sont requises","notifications.permissions.label":"Activer les notifications d’autorisation","notifications.turnMode.always":"Toujours","notifications.turnMode.description":"Définissez quand Codex vous alerte qu’une tâche est terminée","notifications.turnMode.label":"Activer les notifications de réalisation","notifications.turnMode.off":"Jamais","notifications.turnMode.unfocused":"Seulement en l’absence de focalisation","patchApprovalRequest.approve":"Approuver","patchApprovalRequest.menu.allowAlways":"Oui, et ne plus demander pour cette session","patchApprovalRequest.menu.allowForSession":"Oui, et ne plus demander pour cette session","patchApprovalRequest.menu.allowOnce":"Oui","patchApprovalRequest.prompt":"Souhaitez-vous effectuer ces modifications ?","patchApprovalRequest.reject":"Non","patchApprovalRequest.waitingForApproval":"En attente d’approbation pour modifier les fichiers","pendingRequest.approvalExec.collapse":"Réduire","pendingRequest.approvalExec.expand":"Développer","pendingRequestStory.toastAnswer":"Réponse : {answer}","pendingRequestStory.toastApprovalTitle":"Réponse d’approbation","pendingRequestStory.toastFollowupPrompt":"Prompt : {prompt}","pendingRequestStory.toastFollowupTitle":"Suivi envoyé","pendingRequestStory.toastNoAnswers":"Aucune réponse fournie","pendingRequestStory.toastQuestion":"Question : {question}","pendingRequestStory.toastUnknownDecision":"Inconnu","pendingRequestStory.toastUserInputTitle":"Réponses soumises","quickAction.request.codeReview.branches.new":"Examiner les modifications de {from} par rapport à {to}","quickAction.request.codeReview.uncommitted.new":"Examiner mes modifications non validées","reasoningItem.thinking":"Réflexion en cours","reasoningItem.thought":"Réflexion terminée","reasoningItem.thoughtWithElapsed":"Réflexion durant {elapsed}","recentConversations.title":"Conversations récentes","recentTasks.worktreeInitFailedTitle":"Échec de l’initialisation de l’arbre de travail","recentTasks.worktreeSettingUpTitle":"Configuration de l’arbre de travail","requestInputPanel.continue":"Continuer","requestInputPanel.dismiss":"Ignorer","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Saisissez du texte ici","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Non, et indiquer à Codex ce qu’il doit faire différemment","requestInputPanel.selectedBadge":"Sélectionnés","requestInputPanel.skip":"Ignorer","requestInputPanel.submit":"Envoyer","review.commit.ariaLabel.includeUnstaged":"Inclure les modifications non indexées","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commit en cours...","review.commit.disabled.loadingDiff":"Chargement du diff…","review.commit.disabled.missingContext":"Ajoutez du contexte pour générer un message de commit","review.commit.disabled.noChanges":"Aucune modification pour le commit","review.commit.disabled.noSelection":"Sélectionner les modifications pour le commit","review.commit.disabled.unavailable":"Le commit est indisponible pour le moment","review.commit.error":"Échec du commit des modifications","review.commit.form.changesToBeCommitted":"Modifications","review.commit.form.commitTo":"Branche","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuer","review.commit.form.title":"Effectuez un commit de vos modifications","review.commit.generate.emptyResponse":"Impossible de générer un message de commit.","review.commit.generate.failed":"Impossible de générer le message de commit : {error}","review.commit.generate.missingPrompt":"Ajoutez du contexte pour générer un message de commit.","review.commit.includeUnstaged":"Inclure les modifications non indexées","review.commit.loading.description":"Un peu de patience, cette opération peut prendre un peu de temps","review.commit.loading.step.commit.done":"Modifications incluses dans ce commit","review.commit.loading.step.commit.pending":"Commit des modifications","review.commit.loading.step.createPr.done":"Demande d’extraction créée","review.commit.loading.step.createPr.pending":"Création d’une demande d’extraction...","review.commit.loading.step.push.done":"Push vers la branche {branch} terminé","review.commit.loading.step.push.pending":"Push vers la branche {branch}","review.commit.loading.title.commit":"Commit des modifications","review.commit.loading.title.createPr":"Création d’une demande d’extraction","review.commit.loading.title.push":"Push des modifications","review.commit.messageLabel":"Message Commit","review.commit.messagePlaceholder":"Laissez en blanc pour générer automatiquement un message de commit","review.commit.nextSteps":"Prochaines étapes","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit et création de la PR","review.commit.nextSteps.commitAndPush":"Commit et push","review.commit.nextSteps.prRequiresGh":"GitHub CLI requis : {command}","review.commit.rows.changes":"Modifications","review.commit.rows.commitCount":"{count, plural, one {# commit} many {# commits} other {# commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} many {# commits} other {# commits}} et {stats}","review.commit.rows.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","review.commit.state.error.body":"Une erreur s’est produite lors du commit. Vérifiez votre statut git et réessayez.","review.commit.state.error.title":"Échec du commit","review.commit.state.success.title":"Commit des modifications effectué","review.commit.untracked.loadingStats":"Chargement des statistiques de diff non suivies…","reviewFindingAttachments.count":"{count, plural, one {# résultat} many {# résultats} other {# résultats}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Modifiez votre configuration pour personnaliser le comportement de l’agent","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"Redémarrer Codex après l’édition pour appliquer les modifications","settings.agent.configuration.subtitle":"Ces paramètres s’appliquent partout où Codex est utilisé","settings.automations.banner.danger":"Les automatisations s’exécutent avec vos paramètres d’environnement de test par défaut, qui sont actuellement définis sur Accès complet. L’exécution d’automatisations en arrière-plan avec un accès complet est risquée, car Codex peut alors modifier des fichiers, exécuter des commandes et accéder au réseau sans en demander l’autorisation. Envisagez de mettre à jour les paramètres de l’environnement de test pour permettre l’écriture dans l’espace de travail et d’utiliser des <rulesDocsLink>règles</rulesDocsLink> pour définir de manière sélective les commandes que l’agent peut exécuter avec un accès complet.","settings.automations.banner.defaultHowTo.default":"Les automatisations s’exécutent avec vos paramètres d’environnement de test par défaut. Les appels d’outils échoueront s’ils nécessitent de modifier des fichiers en dehors de l’espace de travail, d’accéder au réseau ou d’utiliser des applications sur votre ordinateur. Vous pouvez autoriser de manière sélective l’exécution de commandes en dehors de l’environnement de test à l’aide de <rulesDocsLink>règles</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Les automatisations s’exécutent avec vos paramètres d’environnement de test par défaut, qui sont définis sur Lecture seule. Les appels d’outils échoueront s’ils nécessitent de modifier des fichiers, d’accéder au réseau ou d’utiliser des applications sur votre ordinateur. Envisagez de mettre à jour les paramètres de l’environnement de test pour permettre l’écriture dans l’espace de travail.","settings.automations.cancel":"Annuler","settings.automations.create":"Créer","settings.automations.cwdEmpty":"Aucun dossier de projet disponible","settings.automations.cwdLabel":"Projets","settings.automations.cwdPlaceholder":"Choisir un dossier","settings.automations.cwdSubtitle":"Si vous souhaitez qu’une automatisation s’exécute sur une branche spécifique, vous pouvez le préciser dans votre prompt.","settings.automations.delete":"Supprimer","settings.automations.dialog.editTitle":"Modifier l’automatisation","settings.automations.dialog.newTitle":"Nouvelle automatisation","settings.automations.dialog.subtitle":"Automatisez les tâches récurrentes en arrière-plan. Codex ajoute les résultats à la boîte de réception ou archive automatiquement la tâche s’il n’y a rien à rapporter. <learnMoreLink>En savoir plus</learnMoreLink>","settings.automations.dialog.title":"Créer une automatisation","settings.automations.executionCopy.git":"Les projets git s’exécutent dans des arbres de travail dédiés en arrière-plan.","settings.automations.executionCopy.local":"Les automatisations s’exécutent directement dans les répertoires du projet sélectionné.","settings.automations.executionCopy.nonGit":"Les projets non contrôlés par version s’exécutent localement, car les arbres de travail requièrent Git.","settings.automations.executionEnvironment.ariaLabel":"Environnement d’exécution","settings.automations.executionEnvironment.label":"Environnement d’exécution","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.local.help":"S’exécute directement dans le répertoire du projet sélectionné sans création d’arbre de travail.","settings.automations.executionEnvironment.worktree":"Arbre de travail","settings.automations.executionEnvironment.worktree.help":"S’exécute dans un arbre de travail Git dédié créé à partir du projet sélectionné, sans modification de votre checkout actuel.","settings.automations.loading":"Chargement…","settings.automations.nameLabel":"Nom","settings.automations.namePlaceholder":"Rechercher des problèmes Sentry","settings.automations.pause":"Pause","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"rechercher des plantages dans $Sentry","settings.automations.resume":"Reprendre","settings.automations.rruleSummaryFallback":"Planification personnalisée","settings.automations.runNow":"Tester","settings.automations.save":"Enregistrer","settings.automations.scheduleBadge.dayCount":"{count} j","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Jours de la semaine","settings.automations.scheduleBadge.weekends":"Week-ends","settings.automations.scheduleHeader":"Planification","settings.automations.scheduleHours":"heures","settings.automations.scheduleLabel":"Fréquence d’exécution","settings.automations.scheduleMode.daily":"Chaque jour","settings.automations.scheduleMode.interval":"Intervalle","settings.automations.scheduleModeLabel":"Type de planification","settings.automations.scheduleSummary.daily":"Chaque jour à {time}","settings.automations.scheduleSummary.interval":"Toutes les {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# jour} many {# jours} other {# jours}}","settings.automations.scheduleSummary.intervalDays":"{interval} le {days}","settings.automations.scheduleSummary.intervalHourly":"Toutes les heures","settings.automations.scheduleSummary.singleDay":"{day} à {time}","settings.automations.scheduleSummary.weekdays":"Les jours de semaine à {time}","settings.automations.scheduleSummary.weekdaysLabel":"jours de la semaine","settings.automations.scheduleSummary.weekends":"Le week-end à {time}","settings.automations.scheduleSummary.weekendsLabel":"week-ends","settings.automations.scheduleSummary.weekly":"{days} à {time}","settings.automations.scheduleWeekdays":"Activé","settings.automations.weekdayState.excluded":"Exclu","settings.automations.weekdayState.included":"Inclus","settings.conversationDetail.steps":"Étapes","settings.conversationDetail.steps.description":"Masquer les commandes et les résultats","settings.conversationDetail.stepsWithCommands":"Étapes avec commandes du code","settings.conversationDetail.stepsWithCommands.description":"Afficher les commandes, réduire les résultats","settings.conversationDetail.stepsWithOutput":"Étapes avec résultats du code","settings.conversationDetail.stepsWithOutput.description":"Afficher les commandes et développer les résultats","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Aucun chat archivé","settings.dataControls.archivedChats.error":"Impossible de charger les chats archivés.","settings.dataControls.archivedChats.loading":"Chargement des chats archivés...","settings.dataControls.archivedChats.unarchive":"Désarchiver","settings.dataControls.archivedChats.unarchiveError":"Impossible de désarchiver le chat","settings.dataControls.archivedChats.unarchiveSuccess":"Fil désarchivé. <viewNowLink>Afficher maintenant</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Fil désarchivé.","settings.dataControls.archivedChats.untitled":"Chat sans titre","settings.dataControls.archivedChats.viewNow":"Afficher maintenant","settings.editRow.headerPlaceholder":"Clé","settings.editRow.removeEntry":"Supprimer l’entrée","settings.editRow.valuePlaceholder":"Valeur","settings.general.appearance":"Thème","settings.general.appearance.codeFont":"Police du code","settings.general.appearance.codeFont.description":"Ajustez la police et la taille utilisées pour le code dans les chats et les diffs","settings.general.appearance.codeFontFamily":"Famille de polices du code","settings.general.appearance.codeFontSize":"Taille de police du code","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Configurer les fenêtres pour qu’elles utilisent un arrière-plan uni plutôt que la transparence système","settings.general.appearance.opaqueWindows.label":"Utiliser un arrière-plan de fenêtre opaque","settings.general.appearance.sansFontFamily":"Famille de polices Sans","settings.general.appearance.sansFontFamily.description":"Ajuster la police utilisée pour l’interface utilisateur Codex","settings.general.appearance.sansFontSize":"Taille de police Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Afficher les effets de célébration en plein écran pendant la première exécution de GPT-5.3-Codex-Spark","settings.general.appearance.sparkCelebrationEffects.label":"Effets de célébration Spark","settings.general.appearance.theme":"Thème","settings.general.appearance.theme.dark":"Sombre","settings.general.appearance.theme.description":"Utiliser le mode clair, sombre ou système","settings.general.appearance.theme.light":"Clair","settings.general.appearance.theme.system":"Système","settings.general.appearance.usePointerCursors.description":"Transformer le curseur en pointeur lors du survol d’éléments interactifs","settings.general.appearance.usePointerCursors.label":"Utiliser les curseurs du pointeur","settings.general.enterBehavior.description":"Lorsque cette option est activée, l’envoi des prompts multi-lignes se fait en appuyant sur {modifierSymbol} + Entrée.","settings.general.enterBehavior.label":"Exiger {modifierSymbol} + Entrée pour envoyer des prompts longs","settings.general.experimentalFeatures":"Fonctionnalités expérimentales (bêta)","settings.general.experimentalFeatures.empty":"Aucune fonctionnalité expérimentale disponible.","settings.general.experimentalFeatures.loading":"Chargement des fonctionnalités expérimentales...","settings.general.experimentalFeatures.restartNote":"Redémarrer Codex pour appliquer les modifications des fonctionnalités expérimentales","settings.general.experimentalFeatures.toggle":"Activer/désactiver {featureName}","settings.general.followUpQueueMode.description":"Mettre en file d’attente les actions de suivi durant l’exécution par Codex ou piloter l’exécution actuelle. Appuyez sur {invertFollowUpShortcutLabel} pour faire l’inverse pour un message.","settings.general.followUpQueueMode.interrupt":"Pilotage","settings.general.followUpQueueMode.label":"Comportement pour les actions de suivi","settings.general.followUpQueueMode.queue":"Mettre en file d’attente","settings.general.notifications":"Notifications","settings.general.power.preventSleepWhileRunning.description":"Gardez votre ordinateur actif pendant que Codex exécute un thread.","settings.general.power.preventSleepWhileRunning.label":"Empêcher la mise en veille durant l’exécution","settings.git.branchPrefix.ariaLabel":"Préfixe de la branche","settings.git.branchPrefix.description":"Préfixe utilisé lors de la création de nouvelles branches dans Codex","settings.git.branchPrefix.label":"Préfixe de la branche","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Impossible d’enregistrer le préfixe de la branche","settings.git.branchPrefix.save.success":"Préfixe de la branche enregistré","settings.git.commitInstructions.ariaLabel":"Instructions de commit","settings.git.commitInstructions.description":"Ajouté aux prompts de génération de messages de commit","settings.git.commitInstructions.label":"Instructions pour les commits","settings.git.commitInstructions.placeholder":"Ajouter aux directives pour les messages de commit...","settings.git.commitInstructions.save":"Enregistrer","settings.git.commitInstructions.save.error":"Impossible d’enregistrer les instructions pour les commits","settings.git.commitInstructions.save.success":"Instructions enregistrées pour les commits","settings.git.forcePush.ariaLabel":"Toujours forcer le push","settings.git.forcePush.description":"Utilisez l'option --force-with-lease lors du push depuis Codex","settings.git.forcePush.label":"Toujours forcer le push","settings.git.forcePush.save.disabled":"Option Toujours forcer le push désactivée","settings.git.forcePush.save.enabled":"Option Toujours forcer le push activée","settings.git.forcePush.save.error":"Impossible d’enregistrer le paramètre Forcer le push","settings.git.prInstructions.ariaLabel":"Instructions pour les demandes d’extraction","settings.git.prInstructions.description":"Ajouté aux corps des demandes d’extraction créées par Codex","settings.git.prInstructions.label":"Instructions pour les demandes d’extraction","settings.git.prInstructions.placeholder":"Ajouter aux directives pour les demandes d’extraction...","settings.git.prInstructions.save":"Enregistrer","settings.git.prInstructions.save.error":"Impossible d’enregistrer les instructions pour les demandes d’extraction","settings.git.prInstructions.save.success":"Instructions enregistrées pour les demandes d’extraction","settings.ide.defaultOpenTarget.description":"Emplacement d’ouverture par défaut des fichiers et dossiers","settings.ide.defaultOpenTarget.label":"Emplacement d’ouverture par défaut","settings.ide.defaultOpenTarget.placeholder":"Aucune cible trouvée","settings.ide.language.auto":"Détection automatique","settings.ide.language.autoOption":"Détection automatique","settings.ide.language.description":"Langue pour l’interface utilisateur de l’application","settings.ide.language.label":"Langue","settings.ide.language.search":"Rechercher dans les langues","settings.layout.actionButton":"Redémarrer l’extension","settings.layout.actionTitle":"Paramètres avec l’action","settings.layout.fullWidthTitle":"Paramètres (pleine largeur)","settings.layout.title":"Paramètres","settings.localEnvironments.actions.add":"Ajouter une action","settings.localEnvironments.actions.add.description":"Créez une nouvelle commande à exécuter depuis la barre d’outils.","settings.localEnvironments.actions.add.save":"Enregistrer","settings.localEnvironments.actions.empty":"Ajoutez une action pour exécuter des commandes depuis la barre d’outils locale.","settings.localEnvironments.actions.icon.debug":"Déboguer","settings.localEnvironments.actions.icon.run":"Exécuter","settings.localEnvironments.actions.icon.test":"Tester","settings.localEnvironments.actions.icon.tool":"Outil","settings.localEnvironments.actions.item.button.delete":"Supprimer","settings.localEnvironments.actions.item.command":"Script d’action","settings.localEnvironments.actions.item.name":"Nom","settings.localEnvironments.actions.item.platforms":"Plateformes","settings.localEnvironments.actions.item.platforms.help":"Exécuter uniquement sur un système d’exploitation spécifique.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Sélection de la plateforme","settings.localEnvironments.actions.item.platforms.specific":"Spécifique à la plateforme","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Supprimer","settings.localEnvironments.actions.title":"Actions","settings.localEnvironments.breadcrumb.back":"Retour","settings.localEnvironments.breadcrumb.edit":"modifier","settings.localEnvironments.breadcrumb.root":"Environnements","settings.localEnvironments.environment.actions.description":"Ces actions peuvent exécuter n’importe quelle commande et seront affichées dans l’en-tête.","settings.localEnvironments.environment.actionsLabel":"Actions","settings.localEnvironments.environment.create":"Créer un environnement local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Modifier l’environnement local","settings.localEnvironments.environment.empty":"Aucun environnement local n’est configuré pour ce projet pour le moment.","settings.localEnvironments.environment.name":"Nom","settings.localEnvironments.environment.setup":"Script de configuration","settings.localEnvironments.environment.setup.description":"Ce script s’exécutera sur la création de l’arbre de travail.","settings.localEnvironments.environment.setup.hint":"Exécution à la racine du projet.","settings.localEnvironments.environment.setup.platformOverrides":"Remplacements de la plateforme","settings.localEnvironments.environment.setup.platformOverrides.add":"Ajouter un script de configuration {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Remplace le script par défaut pour des systèmes d’exploitation spécifiques.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Supprimer","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Détails de l’environnement","settings.localEnvironments.file.missing":"Enregistrez pour créer ce fichier pour la première fois.","settings.localEnvironments.file.parseError":"Impossible d’analyser le fichier existant. Le fait d’enregistrer l’écrasera. ({error})","settings.localEnvironments.file.path":"Fichier : {path}","settings.localEnvironments.file.readError":"Impossible de charger les données de l’environnement local. ({error})","settings.localEnvironments.file.title":"Fichier d’environnement local","settings.localEnvironments.loading.body":"Récupération de la configuration de votre projet.","settings.localEnvironments.loading.title":"Chargement des environnements locaux","settings.localEnvironments.preview.devOnly":"(DEV uniquement)","settings.localEnvironments.preview.save":"Enregistrer","settings.localEnvironments.preview.saveError":"Impossible d’enregistrer le fichier. ({error})","settings.localEnvironments.preview.title":"Aperçu","settings.localEnvironments.save.disabled.name":"Ajoutez un nom d’environnement pour enregistrer.","settings.localEnvironments.save.disabled.noChanges":"Aucune modification à enregistrer.","settings.localEnvironments.save.disabled.saving":"Enregistrement…","settings.localEnvironments.save.success":"Environnement local enregistré","settings.localEnvironments.unavailable.body":"Impossible de charger les paramètres de l’environnement local pour ce projet.","settings.localEnvironments.unavailable.title":"Environnements locaux non disponibles","settings.localEnvironments.workspace.add":"Ajouter un projet","settings.localEnvironments.workspace.title":"Projet","settings.localEnvironments.workspaceSelect.addLabel":"Ajouter un environnement","settings.localEnvironments.workspaceSelect.description":"Les environnements locaux indiquent à Codex comment configurer les arbres de travail pour un projet. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Aucun projet pour le moment. Ajoutez-en un pour configurer des environnements locaux.","settings.localEnvironments.workspaceSelect.errorLabel":"Un environnement nécessite votre attention","settings.localEnvironments.workspaceSelect.learnMore":"En savoir plus","settings.localEnvironments.workspaceSelect.listLabel":"Projets disponibles","settings.localEnvironments.workspaceSelect.loading":"Chargement des projets.","settings.localEnvironments.workspaceSelect.loadingLabel":"Chargement de l’environnement","settings.localEnvironments.workspaceSelect.title":"Sélectionner un projet","settings.localEnvironments.workspaceSelect.viewAction":"Afficher","settings.mcp.addServer":"Ajouter un serveur","settings.mcp.app.configure":"Configurer","settings.mcp.app.connect":"Connecter","settings.mcp.apps.refresh":"Actualiser","settings.mcp.detail.addArgument":"Ajouter un argument","settings.mcp.detail.addEnvVar":"Ajouter une variable d’environnement","settings.mcp.detail.addEnvVarPassthrough":"Ajouter une variable","settings.mcp.detail.args":"Arguments","settings.mcp.detail.back":"Retour","settings.mcp.detail.command":"Commande à lancer","settings.mcp.detail.cwd":"Répertoire de travail","settings.mcp.detail.docs":"Ouvrir la documentation MCP","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"Transfert des variables d’environnement","settings.mcp.detail.envVars":"Variables de l’environnement","settings.mcp.detail.http.addEnvHeader":"Ajouter une variable","settings.mcp.detail.http.addHeader":"Ajouter un en-tête","settings.mcp.detail.http.bearerToken":"Var. env. jeton du porteur","settings.mcp.detail.http.envHeaders":"En-têtes des variables d’environnement","settings.mcp.detail.http.headers":"En-têtes","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nom","settings.mcp.detail.save":"Enregistrer","settings.mcp.detail.switchTransportNotice":"Si vous souhaitez changer de type de serveur MCP, procédez d’abord à une désinstallation.","settings.mcp.detail.titleExisting":"Mettre à jour le MCP {name}","settings.mcp.detail.titleNew":"Se connecter à un MCP personnalisé","settings.mcp.detail.transport.http":"Diffusion HTTP en continu","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Désinstaller","settings.mcp.empty":"Aucun serveur MCP personnalisé connecté","settings.mcp.myServers":"Serveurs personnalisés","settings.mcp.partnerServer.description.figma":"Génération d'un code de meilleure qualité en intégrant l’ensemble du contexte Figma","settings.mcp.partnerServer.description.github":"Intégration avec les API GitHub pour automatiser les workflows et extraire des données","settings.mcp.partnerServer.description.linear":"Intégration avec le suivi des problèmes et la gestion de projets de Linear","settings.mcp.partnerServer.description.notion":"Lecture de documents, mise à jour de pages, gestion de tâches","settings.mcp.partnerServer.description.playwright":"Intégration avec les fonctionnalités d’automatisation du navigateur pour mettre en œuvre la conception et tester l’interface utilisateur","settings.mcp.partnerServer.install":"Installer","settings.mcp.partnerServer.installAndAuthenticate":"Installer et s’authentifier","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Gérer","settings.mcp.partnerServer.vendor":"par {vendor}","settings.mcp.recommendedServers":"Serveurs recommandés","settings.mcp.restartApp":"Redémarrer","settings.mcp.restartExtension":"Redémarrer l’extension","settings.mcp.server.enable":"Activer","settings.mcp.server.login":"S’authentifier","settings.mcp.server.settings":"Paramètres","settings.multiselect.createOption":"Créer « {value} »","settings.multiselect.removeOption":"Supprimer","settings.nav.account":"Compte","settings.nav.agent":"Configuration","settings.nav.ariaLabel":"Paramètres","settings.nav.back":"Retour à l’appli","settings.nav.data-controls":"Fils archivés","settings.nav.environments":"Environnements cloud","settings.nav.externalTooltip":"[alpha] S’ouvre dans le navigateur","settings.nav.general-settings":"Général","settings.nav.git-settings":"Git","settings.nav.local-environments":"Environnements","settings.nav.mcp-settings":"Serveurs MCP","settings.nav.notImplemented":"[alpha] Non disponible dans l’alpha","settings.nav.personalization":"Personnalisation","settings.nav.skills-settings":"Compétences","settings.nav.usage-analytics":"Utilisation et analyses","settings.nav.worktrees":"Arbres de travail","settings.openSourceLicenses.back":"Retour","settings.openSourceLicenses.loading":"Chargement…","settings.openSourceLicenses.missing":"Aucune notification de tiers n’a été trouvée.","settings.openSourceLicenses.notSupported":"Non disponible dans cet hôte.","settings.openSourceLicenses.rowDescription":"Notifications de tiers pour les dépendances groupées","settings.openSourceLicenses.rowLabel":"Licences open source","settings.openSourceLicenses.subtitle":"Notifications de tiers pour les dépendances incluses dans cette application","settings.openSourceLicenses.title":"Licences open source","settings.openSourceLicenses.view":"Afficher","settings.personalization.agents.description":"Modifiez les instructions qui personnalisent votre utilisation de Codex. {learnMore}","settings.personalization.agents.learnMore":"En savoir plus","settings.personalization.agents.loadError":"Impossible de charger agents.md.","settings.personalization.agents.loading":"Chargement de agents.md…","settings.personalization.agents.placeholder":"Ajoutez vos instructions personnalisées…","settings.personalization.agents.retry":"Réessayer","settings.personalization.agents.save":"Enregistrer","settings.personalization.agents.save.error":"Impossible d’enregistrer agents.md","settings.personalization.agents.save.success":"agents.md enregistré","settings.personalization.agents.title":"Instructions personnalisées","settings.personalization.personality.description":"Choisir un ton par défaut pour les réponses de Codex","settings.personalization.personality.label":"Personnalité","settings.sample.contentBody":"Utilisez cette mise en page pour composer vos panneaux de paramètres avec un espacement cohérent.","settings.sample.contentTitle":"Exemple de bloc de contenu","settings.section.account":"Compte","settings.section.agent":"Configuration","settings.section.data-controls":"Fils archivés","settings.section.environments":"Environnements cloud","settings.section.external":"Ouvre dans votre navigateur pendant l'Alpha","settings.section.general-settings":"Général","settings.section.git-settings":"Git","settings.section.local-environments":"Environnements","settings.section.mcp-settings":"Serveurs MCP","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"Connectez des outils et sources de données externes.","settings.section.personalization":"Personnalisation","settings.section.skills-settings":"Compétences","settings.section.unavailable":"Pas encore disponible dans l'Alpha","settings.section.usage-analytics":"Utilisation et analyses","settings.section.worktrees":"Arbres de travail","settings.threadDetail.description":"Choisissez la quantité de résultats de commandes à afficher dans les fils","settings.threadDetail.label":"Détails des fils","settings.worktrees.conversation.untitled":"Conversation sans titre","settings.worktrees.delete.error":"Impossible de supprimer l’arbre de travail","settings.worktrees.empty.body":"Les arbres de travail créés par Codex apparaîtront ici.","settings.worktrees.empty.title":"Aucun arbre de travail pour le moment","settings.worktrees.error.body":"Une erreur s’est produite lors du chargement des arbres de travail.","settings.worktrees.error.retry":"Réessayer","settings.worktrees.error.title":"Impossible de charger les arbres de travail","settings.worktrees.loading.body":"Récupération des détails des arbres de travail.","settings.worktrees.loading.title":"Chargement des arbres de travail","settings.worktrees.repository.loading":"Chargement des métadonnées du référentiel...","settings.worktrees.repository.unknown":"Référentiel inconnu","settings.worktrees.row.conversations":"Conversations","settings.worktrees.row.conversations.empty":"Aucune conversation liée à cet arbre de travail.","settings.worktrees.row.conversations.loading":"Chargement des conversations…","settings.worktrees.row.delete":"Supprimer","settings.worktrees.row.title":"Arbre de travail","sidebarElectron.addWorkspaceRoot":"Ajouter un nouveau projet","sidebarElectron.archiveThread":"Archiver le fil","sidebarElectron.archiveThreadError":"Impossible d’archiver le fil","sidebarElectron.collapseFolder":"Réduire le dossier","sidebarElectron.createStableWorktree":"Créer un arbre de travail permanent","sidebarElectron.createStableWorktree.dialog.ariaLabel":"Nom du projet","sidebarElectron.createStableWorktree.dialog.cancel":"Annuler","sidebarElectron.createStableWorktree.dialog.create":"Créer","sidebarElectron.createStableWorktree.dialog.placeholder":"Nom du projet","sidebarElectron.createStableWorktree.dialog.subtitle":"Créez un nouvel arbre de travail git à partir de HEAD, ajoutez-le en tant que projet et conservez-le jusqu’à sa suppression","sidebarElectron.createStableWorktree.dialog.title":"Créer un arbre de travail et l’enregistrer comme projet","sidebarElectron.createStableWorktree.error":"Impossible de créer un arbre de travail permanent : {message}","sidebarElectron.debugNavLink":"Déboguer","sidebarElectron.editWorkspaceRootOptionName":"Modifier le nom","sidebarElectron.expandFolder":"Développer le dossier","sidebarElectron.groupByMenu.recency":"Liste chronologique","sidebarElectron.groupByMenu.title":"Organiser","sidebarElectron.groupByMenu.workspace":"Par projet","sidebarElectron.inboxRouteNavLink":"Automatisations","sidebarElectron.markThreadUnread":"Marquer comme non lu","sidebarElectron.missingWorkspaceRoot":"Ce dossier de projet a été supprimé ou déplacé","sidebarElectron.newThread":"Nouveau fil","sidebarElectron.newThreadInGroup":"Démarrer un nouveau fil dans {folder}","sidebarElectron.noRecentThreads":"Aucun fil récent","sidebarElectron.noTasks":"Aucun fil","sidebarElectron.noTasks.start":"Ajouter un nouveau projet","sidebarElectron.noTasksWithFilter":"Aucun fil ne correspond aux filtres","sidebarElectron.pinnedThreads":"Fils épinglés","sidebarElectron.recentNavLink":"Fils","sidebarElectron.recentThreads":"Fils récents","sidebarElectron.removeWorkspaceRootOption":"Supprimer","sidebarElectron.renameThread":"Renommer le fil","sidebarElectron.renameThreadDialogAriaLabel":"Titre du fil","sidebarElectron.renameThreadDialogCancel":"Annuler","sidebarElectron.renameThreadDialogPlaceholder":"Ajouter un titre…","sidebarElectron.renameThreadDialogSave":"Enregistrer","sidebarElectron.renameThreadDialogSubtitle":"Il doit être de préférence court et facilement identifiable.","sidebarElectron.renameThreadDialogTitle":"Renommer le fil","sidebarElectron.renameThreadError":"Impossible de renommer le fil","sidebarElectron.renameWorkspaceRootOptionLabel":"Nom d’affichage","sidebarElectron.showLess":"Afficher moins","sidebarElectron.showMenu.all":"Tous les fils","sidebarElectron.showMenu.relevant":"Pertinent","sidebarElectron.showMenu.relevantHint":"Afficher uniquement les fils récents pour la branche actuelle, les arbres de travail ou d’autres fils qui nécessitent votre attention.","sidebarElectron.showMenu.title":"Afficher","sidebarElectron.showMenu.tooltip":"Filtrer, trier et organiser les fils","sidebarElectron.showMenu.trigger":"Filtrer les fils de la barre latérale","sidebarElectron.showMore":"Afficher plus","sidebarElectron.skillsAppsRouteNavLink":"Compétences et applications","sidebarElectron.skillsRouteNavLink":"Compétences","sidebarElectron.sortMenu.created":"Créé","sidebarElectron.sortMenu.title":"Trier par","sidebarElectron.sortMenu.updated":"Mis à jour","sidebarElectron.taskNavigation":"Dossiers d’automatisations","sidebarElectron.tasksInFolder":"Automatisations dans {folder}","sidebarElectron.workspaceOptions":"Actions du projet pour {folder}","sidebarElectron.worktreeGroupTooltip":"Ceci est un arbre de travail git","skills.appsPage.apps.enableToggle":"Activer l’application","skills.appsPage.apps.installOnChatGpt":"Installer sur ChatGPT","skills.appsPage.apps.manageOnChatGpt":"Gérer sur ChatGPT","skills.appsPage.apps.noDescription":"Aucune description","skills.appsPage.createSkill":"Nouvelle compétence","skills.appsPage.empty.apps":"Aucune application trouvée","skills.appsPage.empty.discoverApps":"Aucune application à découvrir","skills.appsPage.empty.installedApps":"Aucune application installée","skills.appsPage.empty.skills":"Aucune compétence trouvée","skills.appsPage.heading":"Compétences et applications","skills.appsPage.search.all":"Rechercher dans les compétences et applications","skills.appsPage.search.all.label":"Rechercher dans les compétences et applications","skills.appsPage.search.apps":"Rechercher des applications","skills.appsPage.search.apps.label":"Rechercher des applications","skills.appsPage.search.skills":"Rechercher des compétences","skills.appsPage.search.skills.label":"Rechercher des compétences","skills.appsPage.section.apps":"Applications","skills.appsPage.section.apps.seeAll":"Voir les {count} applications","skills.appsPage.section.discover":"Découvrir","skills.appsPage.section.installedApps":"Installées","skills.appsPage.section.skills":"Compétences","skills.appsPage.section.skills.seeAll":"Voir les {count} compétences","skills.appsPage.subheading":"Donnez à Codex des superpouvoirs. <link>En savoir plus</link>","skills.appsPage.tab.apps":"Applications","skills.appsPage.tab.recommended":"Recommandés","skills.appsPage.tab.skills":"Compétences","skills.card.contentsError":"Impossible de charger les contenus des compétences.","skills.card.disable":"Désactiver","skills.card.disableSuccess":"Compétence {skillName} désactivée","skills.card.disabledBadge":"Désactivé","skills.card.enable":"Activer","skills.card.enableSuccess":"Compétence {skillName} activée","skills.card.loadingContents":"Chargement des contenus des compétences...","skills.card.more":"Plus d’actions","skills.card.open":"Ouvrir","skills.card.removeFailed":"Impossible de désinstaller la compétence","skills.card.removeSuccess":"Compétence {skillName} désinstallée","skills.card.toggleEnabledError":"Impossible de mettre à jour la compétence","skills.card.try":"Essayer","skills.card.trySkill":"Essayer la compétence","skills.card.uninstall":"Désinstaller","skills.hero.dotLabel":"Aller à la diapositive {index}","skills.hero.next":"Compétence présentée suivante","skills.hero.trySkill":"Essayer la compétence","skills.page.createSkill":"Nouvelle compétence","skills.page.empty":"Aucune compétence trouvée","skills.page.filteredEmpty":"Aucune compétence ne correspond à vos filtres","skills.page.filteredEmptyDescription":"Essayez d’ajuster les filtres sur votre recherche ou sa portée","skills.page.heading":"Compétences","skills.page.loading":"Chargement des compétences…","skills.page.refreshSkills":"Actualiser","skills.page.refreshSkillsToUseNew":"Actualiser pour utiliser la ou les nouvelles compétences","skills.page.search":"Rechercher des compétences","skills.page.search.label":"Rechercher des compétences","skills.page.subheading":"Donnez à Codex des superpouvoirs. <link>En savoir plus</link>","skills.preview.copyPrompt":"Copier le prompt","skills.preview.examplePrompt":"Exemple de prompt","skills.recommended.error":"Impossible de charger les compétences recommandées","skills.recommended.install":"Installer","skills.recommended.installSkill":"Installer une compétence","skills.recommended.installSuccess":"Compétence {skillName} installée","skills.recommended.installed":"Installées","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Installé par l’administrateur","skills.scope.builtIn":"Système","skills.scope.personal":"Personnel","skills.scope.repo":"Référentiel","skills.scope.system":"Système","skills.scope.team":"Pour l’équipe","skills.scope.user":"Utilisateur","skills.section.installed":"Installées","skills.section.recommended":"Recommandé","story.slidingToggle.existing":"Existante","story.slidingToggle.fromLocal":"Depuis l’environnement local","story.slidingToggle.new":"Nouveau","story.slidingToggle.toLocal":"Vers l’environnement local","terminal.close":"Fermer le terminal","terminal.title":"Terminal","thinkingShimmer.default":"Réflexion en cours","threadEnvIcon.cloudTooltip":"Cette conversation s’exécute dans Codex Cloud.","threadEnvIcon.localTooltip":"Cette conversation s’exécute en local.","threadEnvIcon.worktreeTooltip":"Cette conversation s’exécute dans un arbre de travail git local.","threadHeader.archiveConfirmCancel":"Annuler","threadHeader.archiveConfirmConfirm":"Archiver","threadHeader.archiveConfirmSubtitle":"Vous pourrez le trouver plus tard dans vos fils archivés.","threadHeader.archiveConfirmTitle":"Archiver le fil ?","threadHeader.copyAppLink":"Copier le deeplink","threadHeader.copySessionId":"Copier l’ID session","threadHeader.copyWorkingDirectory":"Copier le répertoire de travail","threadHeader.forkIntoLocal":"Embranchement local","threadHeader.forkIntoWorktree":"Embranchement vers un nouvel arbre de travail","threadHeader.forkPendingWorktreePrompt":"Créez un embranchement de cette conversation vers un nouvel arbre de travail.","threadHeader.forkPendingWorktreeTitle":"Conservation avec embranchement","threadHeader.forkThreadError":"Impossible de créer un embranchement du fil","threadHeader.forkThreadRequiresGitRepo":"Un embranchement vers un nouvel arbre de travail nécessite un référentiel git","threadHeader.moreActions":"Actions des fils","threadPage.newThread":"Nouveau fil","threadPage.runAction.changeEnvironment":"Changer d’environnement","threadPage.runAction.dropdown.titleWithEnvironment":"Actions de {environmentName}","threadPage.runAction.environmentSelector.label":"Choisir l’environnement","threadPage.runAction.label":"Exécuter","threadPage.runAction.missing.label":"Configurer une action d’exécution","threadPage.runAction.setup.commandLabel":"Commande à exécuter","threadPage.runAction.setup.description":"Indiquez à Codex comment installer les dépendances et démarrer votre application.","threadPage.runAction.setup.editMore":"Paramètres de l’environnement","threadPage.runAction.setup.placeholder":"p. ex. : npm install npm run","threadPage.runAction.setup.submit":"Enregistrer et exécuter","threadPage.runAction.setup.title":"Exécuter","threadPage.runAction.tooltip.withEnvironment":"Actions de {environmentName}","threadPage.toggleDiffPanel":"Activer/désactiver le panneau diff","threadPage.toggleTerminal":"Activer/désactiver le terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Ouvrir le dossier","toolSummaryForCmd.exploredFiles":"Fichiers <verb>listés</verb>","toolSummaryForCmd.exploredFilesInPath":"Fichiers <verb>listés</verb> dans {path}","toolSummaryForCmd.exploringFiles":"<verb>Création de la liste</verb> des fichiers","toolSummaryForCmd.exploringFilesInPath":"<verb>Création de la liste des fichiers</verb> dans {path}","toolSummaryForCmd.finishedBackgroundTerminal":"Terminal d’arrière-plan terminé","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"Terminal d’arrière-plan terminé avec {command}","toolSummaryForCmd.ranGenericCommand":"<status>Commande exécutée</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Exécuté</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lecture terminée</verb> de {path}","toolSummaryForCmd.runningGenericCommand":"<status>Exécution de la commande</status>{timer}","toolSummaryForCmd.runningTimer":"pour {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Recherche terminée</verb> pour {query}","toolSummaryForCmd.searchedForFiles":"<verb>Recherche</verb> de fichiers terminée","toolSummaryForCmd.searchedForInPath":"<verb>Recherche terminée</verb> pour {query} dans {path}","toolSummaryForCmd.searchingFor":"<verb>Recherche</verb> pour {query}","toolSummaryForCmd.searchingForFiles":"<verb>Recherche</verb> de fichiers","toolSummaryForCmd.searchingForInPath":"<verb>Recherche</verb> pour {query} dans {path}","toolSummaryForCmd.startedBackgroundTerminal":"Terminal d’arrière-plan démarré","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"Terminal d’arrière-plan démarré avec {command}","traceRecording.details.noteLabel":"Que faisiez-vous lorsque cela s’est produit ? (facultatif)","traceRecording.details.notePlaceholder":"J’ai navigué vers un long fil, puis changé plusieurs fois d’onglet...","traceRecording.details.submit":"Envoyer la trace","traceRecording.details.subtitle":"Nous pouvons envoyer cette trace du profil pour aider à diagnostiquer les problèmes de performances.","traceRecording.details.title":"Envoyer la trace du profil ?","traceRecording.progress.subtitle":"Gardez Codex ouvert pendant l’exécution de cette tâche.","traceRecording.saving.title":"Enregistrement de la trace...","traceRecording.startDetails.cancel":"Annuler","traceRecording.startDetails.submit":"OK, commencer l’enregistrement","traceRecording.startDetails.subtitle":"Après avoir cliqué sur OK, reproduisez le problème relatif aux performances, puis cliquez sur l’indicateur rouge flottant pour arrêter et examiner la trace.","traceRecording.startDetails.title":"Comment fonctionne l’enregistrement des traces","traceRecording.stopButton.ariaLabel":"Arrêter l’enregistrement de la trace","traceRecording.upload.successToast":"Trace du profil envoyée.","traceRecording.uploading.title":"Chargement de la trace...","wham.diff.addComment":"Ajouter un commentaire","wham.diff.binaryFile":"Non affiché, fichier binaire","wham.diff.noContent":"Aucun contenu","wham.fileTag.deleted":"Supprimé","wham.fileTag.new":"Nouveau","wham.formattedRelativeDateTime.compactDaysAgo":"{value} j","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mois","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} sem.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} ans","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Travail en cours sur votre tâche","wham.whamProposedTask.title":"Tâche suggérée","wham.whamProposedTask.useSuggestion":"Utiliser la suggestion","workspaceRootDialog.addError":"Impossible d’ajouter le projet","workspaceRootDialog.cancel":"Annuler","workspaceRootDialog.confirmAdd":"Ajouter un projet","workspaceRootDialog.confirmPick":"Utiliser un projet","workspaceRootDialog.description":"Saisissez un chemin sur {host} à utiliser comme projet.","workspaceRootDialog.pathLabel":"Chemin du projet","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Ajouter un chemin de projet","workspaceRootDialog.title.pick":"Choisir un chemin de projet","worktreeInitV2.cancel":"Annuler","worktreeInitV2.notification.failedTitle":"La configuration de l’arbre de travail a échoué","worktreeInitV2.output.empty":"En attente du résultat...","worktreeInitV2.status.error":"La configuration de l’arbre de travail a échoué.","worktreeInitV2.status.running":"Création d’un arbre de travail et exécution de la configuration.","worktreeInitV2.status.runningFork":"Création d’un arbre de travail pour un embranchement de cette conversation.","worktreeInitV2.status.success":"Arbre de travail prêt.","worktreeInitV2.title":"Création de l’arbre de travail","worktreeInitV2.workLocallyInstead":"Travailler plutôt localement","worktreeRestoreBanner.body":"L’arbre de travail de ce fil a été supprimé pour économiser de l’espace disque","worktreeRestoreBanner.missing.body":"Le répertoire de travail de ce fil n’existe plus.","worktreeRestoreBanner.missing.title":"Répertoire de travail actuel manquant","worktreeRestoreBanner.restore.error":"Impossible de restaurer l’arbre de travail : {message}","worktreeRestoreBanner.restore.success":"Arbre de travail restauré","worktreeRestoreBanner.restoreCta":"Restaurer l’arbre de travail","worktreeRestoreBanner.title":"Arbre de travail nettoyé"};export{e as default};
+const e={"CopyButton.copyTooltip":"Copier","app.sidebar.hide":"Masquer la barre latérale","app.sidebar.show":"Afficher la barre latérale","app.sidebar.tooltip":"Activer/désactiver la barre latérale","appHeader.installUpdate":"Mettre à jour","appSunset.body":"Cette version de l’application n’est plus prise en charge. Veuillez télécharger la dernière version <here>ici</here>.","appSunset.title":"Mise à jour requise","automation.updateDirective.create":"Créer","automation.updateDirective.open":"Ouvrir","automation.updateDirective.untitled":"Automatisation sans titre","automation.updateDirective.update":"Mettre à jour","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# essai} many {# essais} other {# essais}}","cloudTaskRow.archiveError":"Impossible d’archiver la tâche","code.diff.requestChange":"Demander une modification","code.diffComment.cancel":"Annuler","code.diffComment.comment":"Commentaire","code.diffComment.delete":"Supprimer","code.diffComment.save":"Enregistrer","codeReviewAssistant.location":"{file} :{start}-{end}","codeReviewAssistant.noFindings":"Aucun résultat trouvé.","codex.alert.closeAriaLabel":"Fermer","codex.appUpsellBanner.cbpApi.message":"Créez plus rapidement avec l’application Codex. Téléchargez maintenant ou {learnMoreLink}.","codex.appUpsellBanner.download":"Télécharger","codex.appUpsellBanner.freeGo.message":"Codex est inclus dans votre forfait jusqu’au 2 mars. Essayez l’application Codex pour créer plus rapidement.","codex.appUpsellBanner.later":"Plus tard","codex.appUpsellBanner.learnMoreLowercase":"en savoir plus","codex.appUpsellBanner.new":"Nouveau","codex.appUpsellBanner.proPlusBusiness.message":"Essayez l’application Codex avec un doublement des limites d’utilisation jusqu’au 2 avril. Téléchargez maintenant ou {learnMoreLink}.","codex.appUpsellBanner.title":"Application Codex","codex.applyDropdown.header.changes":"Modifications","codex.applyDropdown.header.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","codex.applyDropdown.header.rows":"lignes","codex.applyDropdown.header.title":"Appliquer les modifications","codex.applyDropdown.header.workspace":"Projet","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fichier en conflit} many {{count} fichiers en conflit :} other {{count} fichiers en conflit :}}","codex.applyDropdown.results.empty":"Aucun fichier copié","codex.applyDropdown.results.skipped":"{count, plural, one {1 fichier ignoré :} many {{count} fichiers ignorés :} other {{count} fichiers ignorés :}}","codex.applyOrRevertBanner.apply":"Appliquer","codex.applyOrRevertBanner.applyMessage":"Appliquer les modifications et continuer localement ?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Cette tâche ayant été réalisée dans {environment}, elle peut ne pas être correctement appliquée.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Les modifications ayant été apportées dans {environment}, elles peuvent ne pas être correctement appliquées.","codex.applyOrRevertBanner.reapply":"Appliquer à nouveau","codex.applyOrRevertBanner.revert":"Revenir","codex.applyOrRevertBanner.revertMessage":"Annuler les modifications appliquées ?","codex.applyResultsDialog.applied":"Correctement appliqué(s) ({count})","codex.applyResultsDialog.close":"Fermer","codex.applyResultsDialog.conflicted":"Conflit(s) rencontré(s) ({count})","codex.applyResultsDialog.noDetails":"Aucune information disponible sur le fichier.","codex.applyResultsDialog.skipped":"Ignoré(s) ({count})","codex.applyResultsDialog.title":"Appliquer les résultats","codex.archiveInfo":"Affichez les chats archivés dans {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Gestion des données","codex.archiveInfo.electron":"Afficher les chats archivés dans {settingsLink}","codex.archiveInfo.extension":"Affichez les chats archivés dans votre dossier .codex.","codex.archiveInfo.settingsLink":"Paramètres","codex.banner.content.description":"Exécuter des tâches simultanées, suivre leur avancement et examiner les PR grâce à l’IA.","codex.banner.content.headline":"Codex s’occupe de tout.","codex.cloudTaskRow.archiveTask":"Archiver la tâche","codex.cloudTaskRow.confirmArchiveTask":"Confirmer","codex.command.feedback":"Commentaires","codex.command.findInThread":"Rechercher","codex.command.forceReloadSkills":"Forcer le rechargement des compétences","codex.command.logOut":"Se déconnecter","codex.command.manageTasks":"Gérer les tâches","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Retour","codex.command.navigateForward":"Suivant","codex.command.newThread":"Nouveau fil","codex.command.nextThread":"Fil suivant","codex.command.openFolder":"Ouvrir le dossier","codex.command.openSkills":"Accéder aux compétences","codex.command.openThreadOverlay":"Fenêtre pop-up du fil","codex.command.personalitySettings":"Personnalité","codex.command.previousThread":"Fil précédent","codex.command.settings":"Paramètres","codex.command.toggleDiffPanel":"Activer/désactiver le panneau diff","codex.command.toggleSidebar":"Activer/désactiver la barre latérale","codex.command.toggleTerminal":"Activer/désactiver le terminal","codex.commandGroup.app":"Appli","codex.commandGroup.configure":"Configurer","codex.commandGroup.navigation":"Navigation","codex.commandGroup.panels":"Panneaux","codex.commandGroup.skills":"Compétences","codex.commandGroup.thread":"Fil","codex.commandGroup.workspace":"Projet","codex.commandMenu.noResults":"Aucune correspondance","codex.commandMenu.searchPlaceholder":"Commandes de recherche","codex.commandMenu.suggestedGroup":"Suggestions","codex.commandMenu.switchWorkspace":"Changer de projet","codex.commandMenu.title":"Menu de commandes","codex.common.retry":"Réessayer","codex.composer.searchBranches":"Rechercher dans les branches","codex.dialog.basic.body":"Ceci est une boîte de dialogue modale simple utilisant notre wrapper autour de Radix Dialog.","codex.dialog.basic.cancel":"Annuler","codex.dialog.basic.confirm":"Confirmer","codex.dialog.basic.open":"Ouvrir la boîte de dialogue","codex.dialog.basic.title":"Exemple de boîte de dialogue","codex.dialog.long.close":"Fermer","codex.dialog.long.line":"Ligne avec défilement {index} pour présenter un contenu long dans la boîte de dialogue.","codex.dialog.long.open":"Ouvrir la boîte de dialogue avec contenu long","codex.dialog.long.title":"Boîte de dialogue avec contenu long","codex.dialog.unstyled.body":"Cette story indique comment les appelants peuvent contrôler entièrement le style du contenu de la boîte de dialogue.","codex.dialog.unstyled.open":"Ouvrir la boîte de dialogue sans style","codex.dialog.unstyled.title":"Contenu sans style","codex.diff.openInEditorPrompt.openButton":"Ouvrir dans l’éditeur","codex.diff.openInEditorPrompt.singleLine":"Le fichier est trop volumineux pour être affiché ici.","codex.diffView.failedToDecodeBase64Diff":"Échec du décodage du diff en base64","codex.diffView.filesChanged":"{fileCount, plural, one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.diffView.imagePreviewAlt":"Aperçu de l’image","codex.diffView.imagePreviewEmpty":"Aucune image","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Aucune donnée de diff","codex.diffView.pdfPreview.nextPage":"Page suivante","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Page précédente","codex.diffView.pdfPreviewEmpty":"Aucun aperçu du PDF","codex.diffView.pdfPreviewError":"Impossible de rendre l’aperçu du PDF","codex.diffView.richPreviewDisable":"Désactiver l’aperçu enrichi","codex.diffView.richPreviewEnable":"Activer l’aperçu enrichi","codex.diffView.richPreviewLoading":"Chargement de l’aperçu…","codex.diffView.richPreviewToggle":"Activer/désactiver l’aperçu enrichi","codex.diffView.switchToUnified":"Passer au diff unifié","codex.environmentSelector.noEnvironment":"Aucun environnement","codex.environments.environmentSettings":"Paramètres de l’environnement","codex.environments.learnMore":"En savoir plus","codex.environments.listError":"Impossible de charger les environnements.","codex.environments.noEnvironmentsFound":"Aucun environnement trouvé","codex.environments.searchError":"Impossible de rechercher les environnements.","codex.errorBoundary.genericError":"Une erreur s’est produite","codex.errorBoundary.goHome":"Réessayer","codex.file.patch.missing":"Impossible de créer un correctif pour ce fichier.","codex.gallery.automations.cwdLabel":"Projets","codex.gallery.automations.nameLabel":"Nom","codex.gallery.automations.namePlaceholder":"Résumer une tâche","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Décrire ce que doit faire Codex","codex.gallery.dialogs.automation.label":"Boîte de dialogue de l’automatisation","codex.gallery.dialogs.basic.body":"Utilisez cette disposition pour les confirmations simples ou les formulaires courts.","codex.gallery.dialogs.basic.cancel":"Annuler","codex.gallery.dialogs.basic.confirm":"Confirmer","codex.gallery.dialogs.basic.label":"Boîte de dialogue basique","codex.gallery.dialogs.basic.title":"Exemple de boîte de dialogue","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Décrire le problème","codex.gallery.dialogs.feedbackSubmission.bad":"Mauvais résultat","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Bon résultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inclure les journaux de session Codex actuels","codex.gallery.dialogs.feedbackSubmission.label":"Soumission des commentaires","codex.gallery.dialogs.feedbackSubmission.other":"Autre","codex.gallery.dialogs.feedbackSubmission.placeholder":"Décrivez le problème ici","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"Vérification de sécurité","codex.gallery.dialogs.feedbackSubmission.submit":"Envoyer","codex.gallery.dialogs.feedbackSubmission.title":"Commentaires","codex.gallery.dialogs.feedbackSuccess.body":"Commentaires chargés. Si le problème persiste, veuillez créer un problème GitHub ou mentionner l’ID du fil dans un problème ouvert existant :","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ignorer","codex.gallery.dialogs.feedbackSuccess.label":"Succès des commentaires","codex.gallery.dialogs.feedbackSuccess.title":"Commentaires chargés","codex.gallery.dialogs.gitApplyResults.applied":"Correctement appliqué(s) (2)","codex.gallery.dialogs.gitApplyResults.close":"Fermer","codex.gallery.dialogs.gitApplyResults.conflicted":"En conflit (1)","codex.gallery.dialogs.gitApplyResults.label":"Appliquer les résultats","codex.gallery.dialogs.gitApplyResults.title":"Appliquer les résultats","codex.gallery.dialogs.gitPushError.body":"Récupérez les dernières modifications ou forcez le push si vous savez que l’historique distant peut être écrasé sans risque.","codex.gallery.dialogs.gitPushError.cancel":"Annuler","codex.gallery.dialogs.gitPushError.force":"Forcer le push","codex.gallery.dialogs.gitPushError.label":"Erreur de push","codex.gallery.dialogs.gitPushError.subtitle":"Votre branche est derrière la branche d’origine/principale.","codex.gallery.dialogs.gitPushError.title":"Impossible de pousser les modifications","codex.gallery.dialogs.gitRevert.cancel":"Annuler","codex.gallery.dialogs.gitRevert.confirm":"Revenir","codex.gallery.dialogs.gitRevert.label":"Annuler les modifications","codex.gallery.dialogs.gitRevert.skip":"Ne plus me demander","codex.gallery.dialogs.gitRevert.subtitle":"Cette action supprime toutes ces modifications.","codex.gallery.dialogs.gitRevert.title":"Annuler les modifications ?","codex.gallery.dialogs.longForm.label":"Boîte de dialogue formulaire long","codex.gallery.dialogs.proseModal.body":"Ce style modal est utilisé pour les instructions plus longues, l’onboarding ou les blocs de contenu enrichi.","codex.gallery.dialogs.proseModal.close":"Fermer","codex.gallery.dialogs.proseModal.subtitle":"Fournissez ici les instructions ou la documentation pour les formulaires plus longs.","codex.gallery.dialogs.proseModal.title":"Fenêtre pour les contenus plus fournis","codex.gallery.dialogs.submitBlocked.label":"Soumission bloquée","codex.gallery.dialogs.submitBlocked.message":"Votre message n’a pas pu être envoyé car le projet n’est pas disponible.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Impossible d’envoyer le message","codex.gallery.dialogs.title":"Boîtes de dialogue","codex.gallery.dropdown.filterPlaceholder":"Filtrer les éléments","codex.gallery.dropdowns.actionRow":"Lignes d’action","codex.gallery.dropdowns.actionRow.disabled":"Action désactivée","codex.gallery.dropdowns.actionRow.primary":"Action principale","codex.gallery.dropdowns.actionRow.secondary":"Action secondaire","codex.gallery.dropdowns.actionRow.trigger":"Afficher les actions","codex.gallery.dropdowns.basic":"Menu déroulant basique","codex.gallery.dropdowns.basic.newFile":"Nouveau fichier","codex.gallery.dropdowns.basic.newFolder":"Nouveau dossier","codex.gallery.dropdowns.basic.openSettings":"Ouvrir les paramètres","codex.gallery.dropdowns.basic.title":"Actions rapides","codex.gallery.dropdowns.basic.trigger":"Ouvrir le menu","codex.gallery.dropdowns.basic.upload":"Charger","codex.gallery.dropdowns.panel":"Surface du panneau","codex.gallery.dropdowns.panel.apply":"Appliquer","codex.gallery.dropdowns.panel.body":"Vérifiez les diffs et appliquez-les à votre projet.","codex.gallery.dropdowns.panel.preview":"Aperçu","codex.gallery.dropdowns.panel.title":"Appliquer les modifications","codex.gallery.dropdowns.panel.trigger":"Ouvrir le panneau","codex.gallery.dropdowns.search":"Menu déroulant avec fonction de recherche","codex.gallery.dropdowns.search.first":"Canal alpha","codex.gallery.dropdowns.search.second":"Branche bêta","codex.gallery.dropdowns.search.third":"Version candidate","codex.gallery.dropdowns.search.trigger":"Filtrer les éléments","codex.gallery.dropdowns.submenu":"Menu déroulant avec sous-menu","codex.gallery.dropdowns.submenu.optionA":"Projet alpha","codex.gallery.dropdowns.submenu.optionB":"Projet bêta","codex.gallery.dropdowns.submenu.optionC":"Projet gamma","codex.gallery.dropdowns.submenu.primary":"Assigner le propriétaire","codex.gallery.dropdowns.submenu.secondary":"Déplacer vers","codex.gallery.dropdowns.submenu.tertiary":"Archiver","codex.gallery.dropdowns.submenu.trigger":"Choisir une action","codex.gallery.dropdowns.title":"Menus déroulants","codex.gallery.inbox.automations.close":"Fermer","codex.gallery.inbox.automations.popover.cardTitle":"Gérer les automatisations","codex.gallery.inbox.automations.popover.dialogTitle":"Gérer les automatisations","codex.header.settingsTooltip":"Paramètres","codex.hunk.patch.error":"Échec de l’indexation","codex.hunk.patch.missing":"Impossible de créer le correctif pour ce hunk.","codex.hunk.patch.partialSuccess":"Succès partiel","codex.hunk.patch.revertError":"Échec de la désindexation","codex.hunk.patch.revertSuccess":"Désindexation réussie","codex.hunk.patch.success":"Indexation réussie","codex.legal.autonomy.details":"Pour en savoir plus, consultez la {link}","codex.legal.autonomy.details.link":"documentation Codex","codex.legal.autonomy.title":"Déterminer le degré d’autonomie à accorder","codex.legal.backButton":"Retour","codex.legal.cloud.taskOne.meta":"openai/agi · 12 octobre","codex.legal.cloud.taskOne.title":"Expliquer ce qu’est un référentiel à un nouveau designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8 octobre","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Créer un thème en mode sombre","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 octobre","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Corriger un bug d’onboarding","codex.legal.continue.apikey":"Continuer","codex.legal.continueButton":"Suivant","codex.legal.copilot.details":"Utilise votre abonnement Copilot pour tous les appels aux modèles, la facturation et les limites. L’utilisation de l’extension Codex est soumise à la fois aux {oaiTos} et aux {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Conditions d’utilisation de GitHub","codex.legal.copilot.oaiTosLink":"Conditions d’utilisation de Codex d’OpenAI","codex.legal.copilot.title":"Propulsé par GitHub Copilot","codex.legal.mistakes.review":"Examinez le code qu’il génère et les commandes qu’il exécute","codex.legal.mistakes.title":"Codex peut faire des erreurs","codex.legal.powered.details":"Utilise les limites de votre forfait et vos {link}","codex.legal.powered.details.link":"préférences en matière de données d’entraînement","codex.legal.powered.title":"Propulsé par votre compte ChatGPT","codex.legal.step.cloud.subtitle":"Laissez Codex exécuter vos tâches en arrière-plan et concentrez-vous sur l’essentiel pour gagner en rapidité.","codex.legal.step.cloud.title":"Passez la main à Codex dans le cloud","codex.legal.step.intro.subtitle":"Codex parcourt, modifie, exécute des commandes et lance des tests directement dans votre référentiel. Propulsé par votre compte ChatGPT.","codex.legal.step.intro.title":"Codex dans votre IDE","codex.legal.step.todo.subtitle":"Écrivez un commentaire TODO et transformez-le en tâche Codex en un clic.","codex.legal.step.todo.title":"Transformez des TODO en tâches Codex","codex.legal.todo.heading":"// TODO: implement schema","codex.localConversation.closeImagePreview":"Fermer l’aperçu de l’image","codex.localConversation.userImageAttachment":"Pièce jointe utilisateur","codex.localTaskRow.archiveTask":"Archiver le fil","codex.localTaskRow.awaitingApproval":"En attente d’approbation","codex.localTaskRow.awaitingResponse":"En attente de réponse","codex.localTaskRow.confirmArchiveTask":"Confirmer","codex.loggedOut.apiKeyPrompt.cancel":"Annuler","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Obtenir la clé API","codex.loggedOut.apiKeyPrompt.inputLabel":"Saisissez votre clé API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tâches cloud désactivées avec la clé API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tâches cloud désactivées avec Copilot et la clé API","codex.loggedOut.signIn":"Se connecter avec ChatGPT","codex.loggedOut.signIn.cancel":"Annuler la connexion","codex.loggedOut.signInWithCopilot":"Se connecter avec GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Utiliser la clé API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"MCP {server} outil {tool}","codex.mcpTool.collapsedLabel.verb.called":"Appelé","codex.mcpTool.collapsedLabel.verb.calling":"Appel","codex.mcpTool.embeddedResource.contentLabel":"Contenu","codex.mcpTool.embeddedResource.mimeTypeLabel":"Type MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"L’outil n’a renvoyé aucun contenu","codex.mcpTool.rawPayloadHeading":"Charge utile brute d’appel de l’outil {server}.{tool}","codex.menu.recent":"Récents","codex.menu.seeAllHistory":"Afficher tout l’historique","codex.modelCapacityBanner.headline.noReset":"{modelName} a atteint sa pleine capacité. Réessayez plus tard ou commencez une nouvelle conversation avec un autre modèle.","codex.modelCapacityBanner.headline.withReset":"{modelName} a atteint sa pleine capacité. Réessayez après {resetDate}, ou commencez une nouvelle conversation avec un autre modèle.","codex.modelCapacityBanner.title":"Le modèle sélectionné a atteint sa pleine capacité","codex.patch.change.contentsDeleted":"Contenus supprimés","codex.patch.change.created":"Créé","codex.patch.change.created-file":"Fichier créé","codex.patch.change.creating":"Création en cours","codex.patch.change.deleted":"Supprimé","codex.patch.change.deleted-file":"Fichier supprimé","codex.patch.change.deleting":"Suppression en cours","codex.patch.change.edited":"Modifié","codex.patch.change.edited-file":"Fichier modifié","codex.patch.change.editing":"Modification en cours","codex.patch.change.noChanges":"Aucune modification","codex.patch.change.rejected-add":"Rejeté","codex.patch.change.rejected-delete":"Rejeté","codex.patch.change.rejected-edit":"Rejeté","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} tâches finalisées sur {total}","codex.plan.todoListCreated":"Liste de tâches créée avec {total} tâches","codex.profileDropdown.apiKeyAuth":"Connecté avec une clé API","codex.profileDropdown.codexSettings":"Paramètres Codex","codex.profileDropdown.copilotAuth":"Connecté avec Copilot","codex.profileDropdown.defaultAccountTitle":"Compte par défaut","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Entrée pour envoyer des prompts longs","codex.profileDropdown.enterBehaviorError":"Impossible de mettre à jour le paramètre","codex.profileDropdown.getPlus":"Passer à un forfait supérieur pour des limites étendues","codex.profileDropdown.keyboardShortcuts":"Raccourcis clavier","codex.profileDropdown.language":"Langue","codex.profileDropdown.languageDefault":"Détection automatique","codex.profileDropdown.languageSearchPlaceholder":"Rechercher dans les langues","codex.profileDropdown.languageUpdateError":"Impossible de mettre à jour la langue","codex.profileDropdown.logOut":"Se déconnecter","codex.profileDropdown.mcp":"Paramètres du MCP","codex.profileDropdown.openConfigToml":"Ouvrir le fichier config.toml","codex.profileDropdown.openConfigToml.wsl":"Ouvrir le fichier config.toml dans l’environnement WSL","codex.profileDropdown.openExtensionSettings":"Ouvrir les paramètres","codex.profileDropdown.openMcpSettings":"Ouvrir les paramètres MCP","codex.profileDropdown.openOnStartup":"Ouvrir au démarrage","codex.profileDropdown.openOnStartupError":"Impossible de mettre à jour le paramètre","codex.profileDropdown.openSkillsSettings":"Ouvrir les paramètres des compétences","codex.profileDropdown.personalAccountTitle":"Compte personnel","codex.profileDropdown.queueFollowUps":"Mettre en file d’attente les actions de suivi","codex.profileDropdown.queueFollowUpsError":"Impossible de mettre à jour le paramètre","codex.profileDropdown.readDocs":"Lire la documentation","codex.profileDropdown.readSkillsDocs":"Lire la documentation","codex.profileDropdown.runInWsl":"Exécuter dans WSL","codex.profileDropdown.runInWslError":"Impossible de mettre à jour le paramètre","codex.profileDropdown.runInWslTooltip":"Exécute Codex dans WSL. Recommandé pour optimiser la sécurité des environnements de test et les performances.","codex.profileDropdown.settings":"Paramètres de l’IDE","codex.profileDropdown.settingsPage":"Paramètres","codex.profileDropdown.signInWithOpenAI":"Se connecter avec ChatGPT","codex.profileDropdown.skills":"Paramètres des compétences","codex.profileDropdown.switchToCopilotAccount":"Utiliser le compte Copilot","codex.profileDropdown.switchToOpenAIAccount":"Utiliser le compte OpenAI","codex.profileDropdown.todoCodelens":"Corriger les commentaires TODO","codex.profileDropdown.todoCodelensError":"Impossible de mettre à jour le paramètre","codex.profileDropdown.windowsDocumentation":"Documentation Windows","codex.profileFooter.signedInFallback":"Paramètres","codex.profileFooter.upgrade":"Mettre à niveau","codex.recentTasksMenu.clearSearch":"Effacer la recherche","codex.recentTasksMenu.cloud":"Tâches dans le cloud","codex.recentTasksMenu.count":"{count, plural, =0 {Aucune tâche en cours} one {# tâche en cours} many {# tâches en cours} other {# tâches en cours}}","codex.recentTasksMenu.empty":"Aucun fil pour le moment","codex.recentTasksMenu.errorCloud":"Échec du chargement des tâches.","codex.recentTasksMenu.errorCloud.inline":"Échec du chargement des tâches dans le cloud.","codex.recentTasksMenu.filterAll":"Tous","codex.recentTasksMenu.filterCloudTasks":"Filtrer les tâches dans le cloud","codex.recentTasksMenu.filterTooltip":"Filtrer les tâches par environnement","codex.recentTasksMenu.local":"Tâches locales","codex.recentTasksMenu.recent":"Toutes les tâches","codex.recentTasksMenu.search":"Rechercher les tâches récentes","codex.recentTasksMenu.searchEmpty":"Aucun résultat","codex.recentTasksMenu.tooltip":"Historique des tâches","codex.recentTasksMenu.trigger":"Tâches récentes. {count, plural, one {# en cours} many {# en cours} other {# en cours}}","codex.remoteConversation.applyDiff.applyCta":"Appliquer les modifications","codex.remoteConversation.applyDiff.dropdownTitle":"Appliquer les modifications à une branche locale","codex.remoteConversation.applyDiff.revertCta":"Annuler les modifications","codex.remoteConversation.closeImagePreview":"Fermer l’aperçu de l’image","codex.remoteConversation.codexCloudTask":"Vous consultez une tâche <u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Erreur : {message}","codex.remoteConversation.loadingImage":"Chargement de l’image","codex.remoteConversation.openInWeb":"Ouvrir dans un navigateur Web","codex.remoteConversation.streaming":"Démarrage","codex.remoteConversation.turnFailed":"Une erreur s’est produite lors de l’exécution de cette tâche","codex.remoteConversation.turnTab.loading":"Essai {number}","codex.remoteConversation.turnTab.title":"Essai {number}","codex.remoteConversation.userImageAttachment":"Pièce jointe utilisateur","codex.remoteConversation.viewPreviousTurns":"Ouvrir dans un navigateur Web","codex.remoteConversation.viewPreviousTurns.buttonText":"Ouvrir","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Ouvrir dans un navigateur Web","codex.review.copyGitApplyCommand":"Copier la commande git apply","codex.review.copyGitApplyCommand.toast":"Commande git apply copiée dans le presse-papiers","codex.review.diffTooLarge.description":"Ce diff est trop volumineux pour être affiché dans la section Examen.","codex.review.diffTooLarge.title":"Le diff est trop volumineux pour être affiché","codex.review.expandOrCollapseDiffButton.collapse":"Réduire tous les diff","codex.review.expandOrCollapseDiffButton.expand":"Développer tous les diff","codex.review.expandOrCollapseDiffMenu.collapse":"Réduire tous les diff","codex.review.expandOrCollapseDiffMenu.expand":"Développer tous les diff","codex.review.fileSearch.clear":"Effacer le filtre sur les fichiers","codex.review.fileSearch.empty":"Aucun fichier ne correspond au filtre actuel.","codex.review.fileSearch.label":"Filtrer les fichiers","codex.review.fileSearch.placeholder":"Filtrer les fichiers...","codex.review.filesChanged":"{num, plural, =0 {Aucun fichier modifié} one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.review.find.loadMore":"Charger d’autres correspondances","codex.review.fullReview.hideFileTree":"Masquer l’arborescence des fichiers","codex.review.fullReview.showFileTree":"Afficher l’arborescence des fichiers","codex.review.header.moreOptions":"Options d’examen","codex.review.largeDiff.banner":"Diff volumineux détecté ; affichage d’un seul fichier à la fois.","codex.review.loadFullFiles.disable":"Ne pas charger les fichiers complets","codex.review.loadFullFiles.enable":"Charger les fichiers complets","codex.review.noDiff":"Les modifications de fichiers apparaîtront ici","codex.review.noDiff.gitInit.createRepository":"Créer un référentiel git","codex.review.noDiff.gitInit.creating":"Création en cours…","codex.review.noDiff.gitInit.error":"Échec de l’initialisation git : {message}","codex.review.noDiff.gitInit.success":"Référentiel git créé","codex.review.noDiff.gitRepoRequired.description":"Suivez et annulez les modifications dans ce projet","codex.review.noDiff.gitRepoRequired.title":"Créer un référentiel git","codex.review.noDiff.orNoLongerAvailable":"ou les derniers diffs ne sont plus disponibles","codex.review.noDiff.reverted":"La dernière exécution a été annulée","codex.review.noDiff.revertedOrCommitted":"La dernière exécution a été soit annulée, soit validée","codex.review.refreshGitQueries":"Actualiser","codex.review.revert.file.error":"Échec de l’annulation de {path}","codex.review.revert.file.partialSuccess":"Annulation partielle de {path}","codex.review.revert.file.success":"Annulation de {path}","codex.review.revert.hunk.error":"Échec de l’annulation du hunk {hunkNumber} dans {path}","codex.review.revert.hunk.partialSuccess":"Annulation partielle du hunk {hunkNumber} dans {path}","codex.review.revert.hunk.success":"Annulation du hunk {hunkNumber} dans {path}","codex.review.revert.section.error":"Échec de l’annulation de la section","codex.review.revert.section.partialSuccess":"Annulation partielle de la section","codex.review.revert.section.success":"Section annulée","codex.review.revertDialog.cancel":"Annuler","codex.review.revertDialog.confirm":"Confirmer","codex.review.revertDialog.message":"Cette action supprime toutes ces modifications.","codex.review.revertDialog.skip":"Ne plus me demander","codex.review.revertDialog.title":"Annuler les modifications ?","codex.review.richPreview.disable":"Désactiver l’aperçu enrichi","codex.review.richPreview.enable":"Activer l’aperçu enrichi","codex.review.source.cloud":"Modifications cloud","codex.review.source.local.all":"Toutes les modifications de la branche","codex.review.source.local.lastTurn":"Modifications du dernier tour","codex.review.source.local.uncommitted":"Modifications non validées","codex.review.source.worktree":"Modifications de l’arbre de travail non commitées","codex.review.stageFilter.empty.staged.description":"Accepter les modifications pour les indexer","codex.review.stageFilter.empty.staged.title":"Aucune modification indexée","codex.review.stageFilter.empty.unstaged.description":"Les modifications de code apparaîtront ici","codex.review.stageFilter.empty.unstaged.title":"Aucune modification non indexée","codex.review.stageFilter.staged":"Indexés","codex.review.stageFilter.staged.count":"Indexés · {count}","codex.review.stageFilter.unstaged":"Non indexés","codex.review.stageFilter.unstaged.count":"Non indexés · {count}","codex.review.switchToSplit":"Basculer pour scinder le diff","codex.review.switchToUnified":"Passer au diff unifié","codex.review.toggleDiffView":"Activer/désactiver la vue diff","codex.review.wordDiffs.disable":"Désactiver les diffs par mots","codex.review.wordDiffs.enable":"Activer les diffs par mots","codex.review.wrap.disable":"Désactiver le retour automatique à la ligne","codex.review.wrap.enable":"Activer le retour automatique à la ligne","codex.section.patch.missing":"Impossible de créer le correctif pour cette section.","codex.shell.collapse":"Réduire le shell","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Contenu du shell copié","codex.shell.copy.copyTooltip":"Copier le contenu du shell","codex.shell.copyCommand":"Copier la commande","codex.shell.copyOutput":"Copier le résultat","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Développer le shell","codex.shell.name":"Shell","codex.shell.noOutput":"Aucune sortie","codex.signInFailed.message":"La connexion a échoué : {rawMessage}","codex.stories.toast.show":"Afficher le message d’information","codex.stories.tooltip.basic":"Ceci est une infobulle","codex.stories.tooltip.hoverMe":"Survolez-moi","codex.stories.tooltip.largerOffset":"Cette infobulle présente un décalage plus important","codex.stories.tooltip.offsetButton":"Plus grand décalage","codex.stories.tooltip.shortcutButton":"Avec raccourci","codex.stories.tooltip.withShortcut":"Activer/désactiver le terminal","codex.taskRow.title":"Nouveau fil","codex.taskRowLayout.confirm":"Confirmer","codex.threadFindBar.chatFilter":"Rechercher un chat","codex.threadFindBar.close":"Fermer la barre de recherche","codex.threadFindBar.diffFilter":"Rechercher dans les diffs","codex.threadFindBar.label":"Rechercher dans le fil","codex.threadFindBar.nextResult":"Résultat suivant","codex.threadFindBar.noResults":"0 résultat","codex.threadFindBar.placeholder":"Rechercher dans le fil...","codex.threadFindBar.placeholder.extension":"Rechercher dans le fil...","codex.threadFindBar.placeholder.review":"Rechercher dans le diff...","codex.threadFindBar.placeholder.review.extension":"Rechercher dans le diff...","codex.threadFindBar.previousResult":"Résultat précédent","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fichier modifié} many {# fichiers modifiés} other {# fichiers modifiés}}","codex.unifiedDiff.inlineLargeFile":"Diff trop volumineux pour un rendu inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Annuler","codex.unifiedDiff.revertPatchError":"Échec de l’annulation des modifications","codex.unifiedDiff.revertPatchSuccess":"Modifications annulées","codex.unifiedDiff.reviewChangesSuffix":"modifications","codex.unifiedDiff.reviewShort":"Examiner","codex.unifiedDiff.viewDiffTooltip":"Examiner","codex.upsellBanner.business.headline":"Pour obtenir un accès étendu dès maintenant, envoyez une demande à votre administrateur, ou attendez jusqu’au {resetDate}.","codex.upsellBanner.cbp.headline":"Pour obtenir un accès étendu dès maintenant, envoyez une demande à votre administrateur.","codex.upsellBanner.cta.addCredits":"Ajouter des crédits","codex.upsellBanner.cta.upgradeAccount":"Mettre à niveau","codex.upsellBanner.cta.viewUsage":"Afficher l’utilisation","codex.upsellBanner.free.trialHeadline":"Votre limite d’utilisation sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex et accéder à GPT-5.3-Codex, commencez votre essai gratuit de Plus dès aujourd’hui.","codex.upsellBanner.freeOrGo.headline":"Votre limite d’utilisation sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, passez à Plus dès aujourd’hui.","codex.upsellBanner.general.headline":"Votre limite d’utilisation sera réinitialisée le {resetDate}.","codex.upsellBanner.general.title":"Vous avez atteint la limite de messages Codex","codex.upsellBanner.go.trialHeadline":"Votre limite d’utilisation sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, commencez votre essai gratuit de Plus dès aujourd’hui.","codex.upsellBanner.plus.headline":"Votre limite d’utilisation sera réinitialisée le {resetDate}. Pour continuer à utiliser Codex, ajoutez des crédits ou passez à Pro dès aujourd’hui.","codex.upsellBanner.pro.headline":"Votre limite d’utilisation sera réinitialisée le {resetDate}. Ajoutez des crédits pour continuer à utiliser Codex.","codex.userMessage.autoResolveSync":"Résolution automatique des conflits","codex.userMessage.commentCount":"{count, plural, one {# commentaire} many {# commentaires} other {# commentaires}}","codex.userMessage.copiedAriaLabel":"Copié","codex.userMessage.copiedTooltip":"Copié","codex.userMessage.copyAriaLabel":"Copier le message","codex.userMessage.copyTooltip":"Copier","codex.userMessage.implementPlan":"Mettre en œuvre le plan","codex.userMessage.noContent":"(Aucun contenu)","codex.userMessage.priorConversation":"Fait référence à une conversation précédente","codex.userMessage.reviewMode":"Mode vérification","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"pour {query}","codex.webSearch.summary.verb.completed":"Recherche web effectuée","codex.webSearch.summary.verb.inProgress":"Recherche web","codex.windowsInstallWslBanner.dismiss":"Ignorer","codex.windowsInstallWslBanner.installWslCta":"Activer l’environnement de test","codex.windowsInstallWslBanner.learnMore":"En savoir plus","codex.windowsSandboxBanner.content":"Le mode Agent utilise un environnement de test expérimental sous Windows pour limiter l’accès au système de fichiers et au réseau. {sandboxLink}","codex.windowsSandboxBanner.title":"Activer l’environnement de test pour le mode Agent","codex.windowsSubDropdown.windowsSandbox":"Environnement de test Windows","codex.windowsSubDropdown.windowsSettings":"Paramètres Windows","codexUpgradeModal.body":"Notre dernier modèle de codage agentique avancé : plus intelligent, plus rapide et plus performant pour les tâches techniques générales. {link}","codexUpgradeModal.close":"Fermer","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"En savoir plus","codexUpgradeModal.title":"Lancement de GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Essayer GPT-5.3-Codex maintenant","codexUpgradeModal.useExistingModel":"Continuer avec le modèle actuel","commentAttachments.numComments":"{count, plural, one {# commentaire} many {# commentaires} other {# commentaires}}","commentAttachments.removeAriaLabel":"Supprimer la pièce jointe des commentaires","common.close":"Fermer","composer.addContext.openFilePickerError":"Impossible d’ouvrir le sélecteur de fichiers","composer.addContextDropdown.ariaLabel":"Ajouter des fichiers et plus encore","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Ajouter des fichiers et plus encore","composer.addPhotosAndFiles":"Ajouter des photos et des fichiers","composer.atMentionList.emptyQuery":"Saisissez du texte pour rechercher des fichiers","composer.atMentionList.loading":"Recherche de fichiers...","composer.atMentionList.noResults":"Aucun résultat","composer.attemptsSelector.option":"{count, plural, one {# version} many {# versions} other {# versions}}","composer.attemptsSelector.tooltip":"Nombre de tentatives simultanées que Codex peut effectuer","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"Exécution de {count, plural, one {# terminal} many {# terminaux} other {# terminaux}}","composer.backgroundTerminals.stop":"Arrêter","composer.cleanBackgroundTerminals.error":"Impossible d’arrêter les terminaux en arrière-plan.","composer.cloudFollowUp.cloud":"Dans le cloud","composer.cloudFollowUp.local":"Localement","composer.cloudFollowUp.whereRun":"Où cette tâche de suivi doit-elle s’exécuter ?","composer.cloudTaskCreationError":"Erreur lors de la création de la tâche dans le cloud","composer.cloudTaskError":"Erreur lors de la création de la tâche","composer.contextWindow.autoCompactionTooltipLine1":"Codex compacte automatiquement le contexte","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Fenêtre contextuelle :","composer.contextWindowUsageStatusFull":"Remplissage : {usage} %","composer.contextWindowUsageStatusLeft":"{usage} % utilisé(s) ({remaining} % restant(s))","composer.contextWindowUsageTooltip":"{usedTokens}000 tokens utilisés sur {contextWindow}000","composer.customCliTooltip":"Utilisation d’un exécutable CLI personnalisé","composer.dictation.aria":"Dicter","composer.dictation.cancel.aria":"Arrêter la dictée","composer.dictation.cancel.tooltip":"Arrêter la dictée","composer.dictation.startError":"Impossible de démarrer la dictée","composer.dictation.submit.aria":"Transcrire et insérer","composer.dictation.submit.tooltip":"Transcrire et insérer","composer.dictation.tooltip":"Maintenez enfoncé pour dicter","composer.dictation.transcribeError":"Impossible de transcrire l’audio","composer.dictation.unsupported":"La dictée n’est pas disponible sur cet appareil","composer.dropOverlay.holdShift":"Maintenez la touche {key} enfoncée pour déposer","composer.dropOverlay.shiftKey":"Maj","composer.environmentSelector.createNew":"Créer un nouvel environnement","composer.environmentSelector.error":"Erreur lors du chargement des environnements","composer.environmentSelector.goBack":"Revenir au composeur","composer.environmentSelector.title":"Sélectionner un environnement","composer.environmentSelector.tooltip":"Sélectionner un environnement cloud","composer.feedbackSlashCommand.title":"Commentaires","composer.filePicker.selectFile":"Sélectionner un fichier","composer.filePicker.selectFiles":"Sélectionner des fichiers","composer.followerTooltip":"Pour continuer, revenez à la fenêtre où cette conversation a débuté.","composer.footer.branchSwitch.checkoutError":"Impossible de changer de branche : {message}","composer.footer.branchSwitch.createAndCheckout":"Créer et extraire une nouvelle branche...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Commitez les modifications pour créer et extraire une nouvelle branche","composer.footer.branchSwitch.createBranchError":"Échec de la création de la branche : {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nom de la branche","composer.footer.branchSwitch.createDialog.branchExistsError":"La branche existe déjà.","composer.footer.branchSwitch.createDialog.close":"Fermer","composer.footer.branchSwitch.createDialog.createAndCheckout":"Créer et extraire","composer.footer.branchSwitch.createDialog.placeholder":"nouvelle-branche","composer.footer.branchSwitch.createDialog.title":"Créer et extraire une nouvelle branche","composer.footer.branchSwitch.createDialog.trailingSlashError":"Le nom de la branche ne peut pas se terminer par « / ».","composer.footer.branchSwitch.tooltip":"Changer de branche","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Effectuez un commit des modifications dans {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}} pour extraire {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"modifications dans {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}} pour extraire {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Annuler","composer.footer.branchSwitch.uncommittedDialog.commit":"Effectuer le commit et changer de branche...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Les modifications apportées aux fichiers suivants seraient remplacées par l'extraction :","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Effectuez un commit de vos modifications pour continuer","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"la branche sélectionnée","composer.footer.branchSwitch.uncommittedDialog.title":"Effectuez un commit pour changer de branche","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Non commités : {fileCount, plural, one {# fichier} many {# fichiers} other {# fichiers}}","composer.forkSlashCommand.description":"Créer un embranchement de ce fil en local ou dans un nouvel arbre de travail","composer.forkSlashCommand.option.local.description":"Continuer dans un nouveau fil local","composer.forkSlashCommand.option.local.title":"Embranchement local","composer.forkSlashCommand.option.worktree.description":"Continuer dans un nouvel arbre de travail","composer.forkSlashCommand.option.worktree.title":"Embranchement vers un nouvel arbre de travail","composer.forkSlashCommand.title":"Dupliquer","composer.ideContextIndicator":"Contexte IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Incluez des éléments de contexte de l’IDE comme{br}la sélection de l’état et les fichiers ouverts.","composer.ideContextIndicator.tooltipToggle":"pour basculer","composer.ideContextSlashCommand.disableDescription":"Désactiver le contexte IDE","composer.ideContextSlashCommand.enableDescription":"Inclure la sélection actuelle, les fichiers ouverts et d’autres éléments de contexte depuis votre IDE","composer.ideContextSlashCommand.title":"Contexte IDE","composer.imageInputsUnsupported":"Ce modèle ne prend pas en charge les entrées d’images. Essayez un autre modèle.","composer.imageUploadFailed":"Échec du chargement de l’image","composer.includeIdeContextDropdown":"Inclure le contexte IDE","composer.includeIdeContextDropdown.ariaLabel":"Inclure le contexte IDE","composer.localCwdDropdown.addWorkspaceRoot":"Ajouter un nouveau projet","composer.localCwdDropdown.noActiveRoot":"Sélectionner votre projet","composer.localCwdDropdown.noResults":"Aucun dossier trouvé","composer.localCwdDropdown.title":"Sélectionner votre projet","composer.localTaskError":"Erreur lors du démarrage de la conversation","composer.mcpSlashCommand.description":"Afficher le statut du serveur MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Non authentifié","composer.mcpStatus.authOauth":"Authentifié (OAuth)","composer.mcpStatus.authToken":"Authentifié (clé API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Fermer","composer.mcpStatus.disabled":"Désactivé","composer.mcpStatus.emptyLabel":"Serveurs :","composer.mcpStatus.emptyValue":"Aucun serveur MCP configuré","composer.mcpStatus.enabled":"Activé","composer.mcpStatus.errorLabel":"Statut :","composer.mcpStatus.errorValue":"Impossible de charger le statut MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Changer de mode","composer.mode.agentMode.custom":"Personnalisé","composer.mode.agentMode.custom.dropdownLabel":"Personnalisé","composer.mode.agentMode.custom.option":"Personnalisé (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personnalisé (config.toml)","composer.mode.agentMode.customInfo.cancel":"Annuler","composer.mode.agentMode.customInfo.cli":"Vous pouvez modifier ces paramètres dans la CLI ou directement dans le fichier.","composer.mode.agentMode.customInfo.confirm":"Utiliser le mode personnalisé","composer.mode.agentMode.customInfo.description":"Le mode personnalisé applique les politiques d’approbation et de test définies dans votre fichier <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Vous trouverez plus d’informations sur la configuration des politiques d’approbation et de test dans la <link>documentation de l’environnement d’exécution</link>.","composer.mode.agentMode.customInfo.refresh":"Les modifications prennent effet lors de la prochaine exécution de l’agent.","composer.mode.agentMode.customInfo.title":"Fonctionnement du mode personnalisé","composer.mode.agentMode.fullAccess":"Agent (accès complet)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (accès complet)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (accès complet)","composer.mode.agentMode.fullAccessConfirm.caution":"Attention : l’activation de l’accès complet comporte un risque accru de perte de données, de fuites ou de comportements inattendus.","composer.mode.agentMode.fullAccessConfirm.confirm":"Oui, continuer","composer.mode.agentMode.fullAccessConfirm.description":"Lorsque Codex dispose d’un accès complet, il peut modifier n’importe quel fichier de votre ordinateur et exécuter des commandes avec accès au réseau, sans votre approbation.","composer.mode.agentMode.fullAccessConfirm.goBack":"Annuler","composer.mode.agentMode.fullAccessConfirm.title":"Activer l’accès complet ?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Changer de mode","composer.mode.agentMode.tooltip.auto":"Lire et modifier des fichiers, et exécuter des commandes.","composer.mode.agentMode.tooltip.custom":"Utiliser les dernières politiques d’approbation et de test définies dans le fichier config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex peut modifier des fichiers en dehors de ce projet et exécuter des commandes avec un accès au réseau. À utiliser avec précaution.","composer.mode.agentMode.tooltip.readOnly":"Nécessite une approbation pour modifier les fichiers et exécuter des commandes.","composer.mode.cloud.tooltip":"Travailler dans un environnement cloud","composer.mode.contactAdmin":"Pour étendre votre accès, contactez votre administrateur","composer.mode.local":"Localement","composer.mode.local.learnMore":"En savoir plus","composer.mode.local.model.custom":"Personnalisé","composer.mode.local.model.loadingModel":"Chargement du modèle","composer.mode.local.model.selecrReasoningEffort":"Sélectionnez le raisonnement","composer.mode.local.model.selectModel":"Sélectionner un modèle","composer.mode.local.model.tooltip":"Choisir le modèle","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Approfondi","composer.mode.local.reasoning.low.label":"Limité","composer.mode.local.reasoning.medium.label":"Intermédiaire","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Aucun","composer.mode.local.reasoning.xhigh.label":"Très élevé","composer.mode.localRemoteWhereRun":"Sélectionner où exécuter la tâche","composer.mode.newTask.header":"Continuer vers","composer.mode.rateLimit.day":"{days} j","composer.mode.rateLimit.heading":"Crédits restants","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Limite de {modelName} :","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {limite hebdomadaire} many {Limite de {weeks} par semaine} other {Limite de {weeks} par semaine}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Par semaine} many {{weeks} semaines} other {{weeks} semaines}}","composer.mode.remote.connectToCloud":"Connecter Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Configurez un environnement via Codex Web pour activer l'envoi de tâches vers le cloud","composer.mode.remote.selectEnvironment":"Sélectionner un environnement","composer.mode.remote.sendToCloud":"Envoyer vers le cloud","composer.mode.remote.setupViaWeb":"Configurer un environnement via Codex Web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Travailler dans l’environnement cloud","composer.mode.segmentedToggle.local.tooltip":"Travailler dans votre projet local","composer.mode.segmentedToggle.worktree.tooltip":"Travailler dans un arbre de travail parallèle","composer.mode.upgradeToPlus":"Passer à ChatGPT Plus","composer.mode.upgradeToPro":"Passer à ChatGPT Pro","composer.mode.workLocally":"Projet local","composer.mode.workLocally.currentBranchFallback":"votre branche","composer.mode.workLocally.tooltip":"Travailler sur {branchName}","composer.mode.worktree":"Nouvel arbre de travail","composer.mode.worktree.submoduleWarning":"Ce référentiel contient des sous-modules git. La création de l’arbre de travail pourrait échouer.","composer.mode.worktree.tooltip":"Créez une copie de votre projet local pour travailler en parallèle","composer.mode.worktreeSegment":"Arbre de travail","composer.modelChangeDuringConversationWarning.toast":"Le changement de modèle en cours de conversation entraînera une dégradation des performances.","composer.newChat.heading.browser":"Qu’allons-nous coder maintenant ?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex utilise l’autorisation définie dans config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex dispose d’un accès complet sur votre ordinateur (risque élevé)","composer.permissionsDropdown.custom.label":"Personnalisé (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personnalisé (config.toml)","composer.permissionsDropdown.default.label":"Autorisations par défaut","composer.permissionsDropdown.default.optionLabel":"Autorisations par défaut","composer.permissionsDropdown.default.tooltip":"Codex exécute automatiquement les commandes dans un environnement de test (sandbox)","composer.permissionsDropdown.disabled.requirements":"Les autorisations sont verrouillées par requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"L’accès complet est désactivé par requirements.toml","composer.permissionsDropdown.fullAccess.label":"Accès complet","composer.permissionsDropdown.fullAccess.optionLabel":"Accès complet","composer.permissionsDropdown.trigger.tooltip":"Modifier les autorisations","composer.personalitySlashCommand.description.friendly":"Sympathique, enclin à collaborer et utile","composer.personalitySlashCommand.description.pragmatic":"Concis, direct, centré sur les tâches à accomplir","composer.personalitySlashCommand.label.friendly":"Amical","composer.personalitySlashCommand.label.pragmatic":"Pragmatique","composer.personalitySlashCommand.notApplicableSuffix":"(Ne s’applique pas au modèle actuel)","composer.personalitySlashCommand.title":"Personnalité","composer.placeholder.cloudFollowUp.directFollowUp":"Suivi de cette tâche cloud","composer.placeholder.cloudFollowUp.local":"Créer une nouvelle tâche locale faisant référence à cette tâche cloud","composer.placeholder.cloudFollowUp.workingTree":"Créer une nouvelle tâche cloud qui inclut votre code actuel et fera référence à cette tâche","composer.placeholder.localFollowUp.cloud":"Suivi dans une nouvelle tâche cloud","composer.placeholder.localFollowUp.locally":"Demander des modifications de suivi","composer.placeholder.newTask.cloud":"Demander à Codex de tout faire dans le cloud","composer.placeholder.newTask.doAnything":"Demandez à Codex d’exécuter une tâche","composer.placeholder.newTask.locally":"Demandez à Codex, @ pour l’ajout de fichiers, / pour les commandes","composer.planModeDropdown":"Mode plan","composer.planModeDropdown.ariaLabel":"Mode plan","composer.planModeIndicator":"Forfait","composer.planModeIndicator.hintShortcut":"Cmd + Maj. + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Créer un plan avec Codex","composer.planModeIndicator.tooltipToggle":"pour basculer","composer.planSlashCommand.disableDescription":"Désactiver le mode plan","composer.planSlashCommand.enableDescription":"Activer le mode plan","composer.planSlashCommand.title":"Mode plan","composer.priorContext.label":"Contexte antérieur","composer.priorContext.removeAriaLabel":"Supprimer le contexte antérieur","composer.queuedMessage.delete":"Supprimer le message mis en file d’attente","composer.queuedMessage.edit":"Modifier le message","composer.queuedMessage.more":"Actions des messages mis en file d’attente","composer.queuedMessage.sendNow":"Pilotage","composer.queuedMessage.sendNowTooltip":"Envoyer maintenant sans interrompre le travail","composer.queuedMessage.turnOff":"Désactiver la mise en file d’attente","composer.reasoningEffort.local.reasoning.tooltip":"Sélectionnez le niveau de raisonnement","composer.remote.branchStartingPoint":"À partir de quelle branche cette tâche doit-elle démarrer ?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Créer une nouvelle tâche faisant référence à cette tâche du cloud.","composer.remote.currentEditsSuffix.useLocal":"avec les modifications locales du code","composer.remote.directFollowUp":"Ne pas utiliser les modifications locales du code","composer.remote.errorLoadingBranches":"Erreur lors du chargement des branches","composer.remote.fromBranch":"Depuis {branch}","composer.remote.fromCurrentBranch":"Depuis {branch} (branche actuelle)","composer.remote.loadingMoreBranches":"Chargement...","composer.remote.localFileStateHeading":"État du fichier local","composer.remote.localWorkingTree":"Utiliser les modifications locales","composer.remote.startingPoint":"À partir de quel code cette tâche doit-elle démarrer ?","composer.reviewMode.branches.error":"Impossible de charger les branches","composer.reviewMode.branches.retry":"Réessayer","composer.reviewMode.gitRoot.error":"Racine Git introuvable","composer.reviewMode.option.baseBranch.simple":"Examiner par rapport à une branche principale","composer.reviewMode.option.unstaged.simple":"Examiner les modifications non validées","composer.reviewMode.quickReviewError":"Échec du lancement de l’examen du code.","composer.reviewMode.title":"Examen du code","composer.sandboxButton.unlock.disabled.tooltip":"L’accès complet est désactivé par requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex utilise un environnement de test expérimental sous Windows pour limiter l’accès au système de fichiers et au réseau. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Activer l’environnement de test Windows ?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Utiliser le mode lecture seule","composer.searchEnvironments":"Rechercher dans les environnements","composer.skillMentionList.app":"Appli","composer.skillMentionList.appLogoAlt":"Logo {name}","composer.skillMentionList.loading":"Chargement des compétences…","composer.skillMentionList.noResults":"Aucune compétence trouvée","composer.slashCommands.cloudEnvironment.title":"Environnement cloud","composer.slashCommands.dialogLabel":"Menu de commandes slash","composer.slashCommands.dialogTitle":"Commandes slash","composer.slashCommands.disabledTooltip":"Démarrez une nouvelle conversation pour utiliser les commandes slash","composer.slashCommands.inputPlaceholder":"Rechercher","composer.slashCommands.noResults":"Aucune commande","composer.slashCommands.skillsGroup":"Compétences","composer.slashCommands.tooltip":"Parcourir les commandes slash","composer.status.close":"Fermer","composer.statusPlain.alertLabel":"Alerte :","composer.statusPlain.alertValue":"{remaining} % restants sur {window}","composer.statusPlain.contextLabel":"Contexte :","composer.statusPlain.contextTotal":"{count} K","composer.statusPlain.contextValueMetadata":"({used} utilisés / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % restants","composer.statusPlain.heading":"Statut","composer.statusPlain.modelRateLimitSectionLabel":"Limite de {modelName} :","composer.statusPlain.rateLimitDays":"Limite de {count} j","composer.statusPlain.rateLimitFallbackLabel":"Limite d’utilisation :","composer.statusPlain.rateLimitHours":"Limite de {count} h","composer.statusPlain.rateLimitLabelBase":"Limite d’utilisation","composer.statusPlain.rateLimitMinutes":"Limite de {count} min","composer.statusPlain.rateLimitPercent":"{remaining} % restants","composer.statusPlain.rateLimitReset":"Réinitialisation : {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"heure de réinitialisation non disponible","composer.statusPlain.rateLimitUnavailable":"Indisponible","composer.statusPlain.sessionCopiedAriaLabel":"ID session copié","composer.statusPlain.sessionCopiedTooltip":"ID copié","composer.statusPlain.sessionCopyAriaLabel":"Copier l’ID session","composer.statusPlain.sessionCopyTooltip":"Copier l’ID","composer.statusPlain.sessionLabel":"Session :","composer.statusSlashCommand.description":"Afficher l’ID fil, l’usage du contexte et les limites d’utilisation","composer.statusSlashCommand.title":"Statut","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Impossible d’envoyer le message","composer.submit.emptyMessage":"Pour commencer, saisissez un message","composer.submit.imageInputsUnsupported":"Supprimez les images ou changez de modèle pour envoyer ce message.","composer.submit.loadingLocalConfig":"Chargement...","composer.submit.missingCloudConfig":"Vous devez sélectionner un environnement cloud","composer.submit.missingCloudTurn":"Impossible d’effectuer un suivi de cette tâche","composer.submit.noWorkspace":"Ajouter un projet pour utiliser Codex","composer.submit.waitForImageUploads":"Chargement des images en cours...","composer.submitButtonTooltip.send":"Envoyer","composer.submitButtonTooltip.stop":"Arrêter","composer.worktreeEnvironment.create":"Créer un environnement local","composer.worktreeEnvironment.default":"Environnement par défaut","composer.worktreeEnvironment.error":"Erreur lors du chargement des environnements","composer.worktreeEnvironment.loading":"Chargement des environnements…","composer.worktreeEnvironment.title":"Environnement local","composer.worktreeEnvironment.tooltip":"Sélectionner un environnement local","composer.worktreeSetupFailed":"Échec de la configuration de l’arbre de travail. Vérifiez le script de configuration .codex/environments.","compoundButton.secondaryAction":"Action secondaire","copyButton.copied":"Copié","copyButton.copiedAriaLabel":"Copié","copyButton.copy":"Copier","copyButton.copyAriaLabel":"Copier","copyButton.copyCode":"Copier le code","diff.actionButton.revertFile":"Rétablir le fichier","diff.actionButton.revertHunk":"Revenir","diff.actionButton.revertSection":"Rétablir tout","diff.actionButton.revertSectionLabel":"Rétablir tout","diff.actionButton.stageFile":"Indexer un fichier","diff.actionButton.stageHunk":"Indexer","diff.actionButton.stageSection":"Indexer tout","diff.actionButton.stageSectionLabel":"Indexer tout","diff.actionButton.unstageFile":"Désindexer un fichier","diff.actionButton.unstageHunk":"Désindexer","diff.actionButton.unstageSection":"Désindexer tout","diff.actionButton.unstageSectionLabel":"Désindexer tout","diff.fileHeader.toggle":"Activer/désactiver le diff de fichiers","electron.onboarding.login.apikey.cancel":"Annuler","electron.onboarding.login.apikey.continue":"Continuer","electron.onboarding.login.apikey.label":"Clé API OpenAI","electron.onboarding.login.apikey.open":"Saisir la clé API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Annuler la connexion","electron.onboarding.login.chatgpt.continue":"Continuer avec ChatGPT","electron.onboarding.login.devbox":"Se connecter à un SSH distant","electron.onboarding.login.error":"La connexion a échoué : {rawMessage}","electron.onboarding.login.snake.start":"Lancer Snake","electron.onboarding.login.sshConfig.cancel":"Annuler","electron.onboarding.login.sshConfig.continue":"Continuer","electron.onboarding.login.sshConfig.hostnameLabel":"Nom d’hôte SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Le meilleur moyen de créer avec des agents","electron.onboarding.login.title":"Bienvenue dans Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuer","electron.onboarding.welcome.doubleLimits.description":"Pour fêter le lancement de l’application Codex, nous vous offrons le doublement de vos limites d’utilisation jusqu’au 2 avril.","electron.onboarding.welcome.freego.description":"Codex est inclus gratuitement dans votre forfait jusqu’au 2 mars. Commençons à créer ensemble.","electron.onboarding.welcome.new.title.anon":"Bienvenue !","electron.onboarding.workspace.continue":"Continuer","electron.onboarding.workspace.empty":"Ajoutez un projet pour continuer.","electron.onboarding.workspace.listLabel":"Projets disponibles","electron.onboarding.workspace.loading":"Chargement des projets...","electron.onboarding.workspace.openFolder":"Ajouter un projet","electron.onboarding.workspace.selectAll":"Sélectionner tout","electron.onboarding.workspace.skip":"Ignorer","electron.onboarding.workspace.skip.error":"Impossible de créer un nouveau projet : {message}","electron.onboarding.workspace.skip.error.unknown":"Erreur inconnue","electron.onboarding.workspace.skipping":"Création d’un nouveau projet...","electron.onboarding.workspace.subtitle":"Codex pourra modifier des fichiers et exécuter des commandes dans les dossiers sélectionnés.","electron.onboarding.workspace.title":"Sélectionner un projet","errorPage.list.checkSettings":"Essayez de modifier vos paramètres IDE","errorPage.list.configToml":"Assurez-vous que votre fichier config.toml ne comporte aucun paramètre non valide","errorPage.list.downloadExtension":"Essayez de télécharger une autre version de l’extension","errorPage.list.runInWsl":"Si vous constatez des problèmes de compatibilité, désactivez l’exécution dans WSL dans vos paramètres","execApprovalRequest.menu.runAlways":"Oui, et ne plus demander pour cette session","execApprovalRequest.menu.runAlwaysWithAmendment":"Oui, et ne plus demander pour les commandes commençant par {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Oui, et ne plus demander pour les commandes commençant par","execApprovalRequest.menu.runOnce":"Oui","execApprovalRequest.prompt":"Souhaitez-vous exécuter cette commande ?","execApprovalRequest.reject":"Non","execFooter.exitCode":"Quitter le code {code}","execFooter.exitCode.unknown":"inconnu","execFooter.success":"Réussite","feedback.dialog.category.badResult":"Mauvais résultat","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Bon résultat","feedback.dialog.category.other":"Autre","feedback.dialog.category.safetyCheck":"Vérification de sécurité","feedback.dialog.descriptionPlaceholder":"Décrivez le problème ici","feedback.dialog.dismiss":"Ignorer","feedback.dialog.includeLogsLabel":"Inclure les journaux de session Codex actuels","feedback.dialog.submit":"Soumettre","feedback.dialog.submitError":"Nous n'avons pas pu soumettre vos commentaires. Réessayez dans quelques instants.","feedback.dialog.title":"Commentaires","feedback.dialog.uploadedMessage.existingIssue":"problème ouvert existant","feedback.dialog.uploadedMessage.openIssue":"créer un problème GitHub","feedback.dialog.uploadedMessage.withThread":"Commentaires chargés. Si le problème persiste, veuillez {openIssueLink} ou mentionner l’ID fil dans un {existingIssueLink}.","feedback.dialog.uploadedTitle":"Commentaires chargés","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Supprimer {filename}","header.back":"Retour","header.recentChats":"Tâches","header.recentTasks.seeAll":"Afficher tout ({total})","home.header.getPlus":"Obtenir Plus","home.hero.letsBuild":"Créons ensemble","homePage.mainContent":"Contenu principal","imageAttachment.defaultName":"image","imageAttachment.preview.close":"Fermer l’aperçu de l’image","imageAttachment.removeAriaLabel":"Supprimer {filename}","implementPlanRequest.option.implement":"Oui, mettre en œuvre ce plan","implementPlanRequest.prompt":"Mettre en œuvre ce plan ?","inbox.archived.deleteError":"Impossible de supprimer l’exécution archivée","inbox.archived.deleteRun":"Supprimer l’exécution archivée","inbox.archived.deleteSuccess":"Fil archivé supprimé. Voir dans <settingsLink>Fils archivés</settingsLink>.","inbox.archived.inlineLabel.auto":"Ce fil a été automatiquement archivé. <learnMoreLink>En savoir plus</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ce fil a été archivé.","inbox.archived.noMessageFound":"Aucun message trouvé","inbox.automations.createError":"Impossible de créer l’automatisation","inbox.automations.deleteConfirm.cancel":"Annuler","inbox.automations.deleteConfirm.confirm":"Supprimer l'automatisation","inbox.automations.deleteConfirm.description":"Ceci supprimera définitivement l’automatisation et interrompra toute exécution future.","inbox.automations.deleteConfirm.title":"Supprimer {name} ?","inbox.automations.deleteError":"Impossible de supprimer l’automatisation","inbox.automations.editTooltip":"Modifier l’automatisation","inbox.automations.inProgress":"En cours","inbox.automations.new":"Nouveau","inbox.automations.newToolbar":"Nouvelle automatisation","inbox.automations.pauseTooltip":"Suspendre l’automatisation","inbox.automations.resumeTooltip":"Reprendre l’automatisation","inbox.automations.startingNow":"Démarrage maintenant","inbox.automations.startsIn":"Démarre dans {startTime}","inbox.automations.status.active":"Actif","inbox.automations.status.paused":"En pause","inbox.automations.status.runs":"{count} exécutions","inbox.automations.status.started":"Début : {date}","inbox.automations.updateError":"Impossible de mettre à jour l’automatisation","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tous","inbox.filter.ariaLabel":"Filtrer les éléments de la boîte de réception","inbox.filter.unread":"Non lus","inbox.list.archived":"Archivés","inbox.list.inProgress":"En cours","inbox.list.recent":"Terminé","inbox.list.upNext":"Planifié","inbox.mode.automations":"Automatisations","inbox.mode.automations.beta":"Bêta","inbox.noDescription":"Aucune description fournie","inbox.openThread":"Ouvrir le fil","inbox.rightPanel.emptySubtitle":"Automatisez le travail en configurant des tâches planifiées","inbox.rightPanel.emptySubtitle.learnMore":"Automatisez le travail en configurant des fils planifiés. <link>En savoir plus</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatisation active} many {# automatisations actives} other {# automatisations actives}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Aucune automatisation non lue","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatisation non lue} many {# automatisations non lues} other {# automatisations non lues}}","inbox.rightPanel.emptyTitle":"Aucun élément sélectionné","inbox.rightPanel.noThread":"Aucun fil pour cet élément","inbox.rightPanel.quickStart.header":"Commencer avec un modèle","inbox.untitled":"Message sans titre","loadingPage.documentationLink":"documentation","loadingPage.errorDescription":"Codex a planté en renvoyant l’erreur suivante :","loadingPage.errorDescription.documentation":"Cliquez sur Recharger pour relancer l’extension Codex, ou rendez-vous sur {documentationLink} pour obtenir de l’aide.","loadingPage.errorSignal":"Essayez ces solutions :","loadingPage.errorTitle":"Une erreur s’est produite","loadingPage.openConfigToml":"Ouvrir le fichier config.toml","loadingPage.reload":"Recharger","localConversation.contextCompacted":"Contexte automatiquement compacté","localConversation.contextCompacting":"Compactage automatique du contexte","localConversation.finalAssistantMessageDivider":"Message final","localConversation.forkedFromConversation":"Embranchement créé à partir de {threadTitle}","localConversation.merge.autoResolve.failed":"Échec de la demande de résolution automatique : {error}","localConversation.merge.autoResolve.sent":"Demande de résolution automatique envoyée","localConversation.merge.autoResolveMerge.missingConversation":"Impossible de procéder à la résolution automatique sans conversation active.","localConversation.merge.autoResolveMerge.request":"Résoudre automatiquement les conflits de fusion","localConversation.modelChanged":"Changement de modèle de {fromModel} à {toModel}.","localConversation.modelChanged.warning.line1":"Le changement de modèle en cours de conversation entraînera une dégradation des performances.","localConversation.modelChanged.warning.line2":"Le contexte pourrait être automatiquement compacté.","localConversation.modelRerouted":"Votre demande a été acheminée vers {toModel}.","localConversation.modelRerouted.warning.line1":"Attention, votre demande a été redirigée afin de réduire les risques de cyber-abus.","localConversation.modelRerouted.warning.line2":"Vous pensez qu’il s’agit d’une erreur ? Demandez un examen sur<link>chatgpt.com/cyber</link>ou signalez le problème via /feedback.","localConversation.moveThread.createBranch.label":"Créer une branche","localConversation.moveToLocal.disabled.branchCheckedOut":"Cette branche est déjà extraite dans un autre arbre de travail","localConversation.moveToLocal.disabled.loading":"Chargement…","localConversation.moveToLocal.disabled.missingSourceHead":"Impossible de résoudre le commit HEAD de l’arbre de travail","localConversation.moveToLocal.disabled.noWorkspace":"Aucun espace de travail local trouvé pour cet arbre de travail","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"Déplacement impossible pour le moment. Vérifiez l’état de l’espace de travail local et réessayez.","localConversation.moveToLocal.error.rollbackIssues":"Problèmes de restauration : {issues}","localConversation.moveToLocal.label":"Déplacer vers l’environnement local","localConversation.moveToLocal.loading.subtitle":"Déplacement des modifications de l’arbre de travail vers l’environnement local...","localConversation.moveToLocal.loading.title":"Déplacement vers l’environnement local","localConversation.moveToLocal.modal.continue":"Continuer","localConversation.moveToLocal.modal.destinationLabel":"Déplacer vers","localConversation.moveToLocal.modal.retry":"Réessayer","localConversation.moveToLocal.modal.subtitle":"Cette branche de l’arbre de travail et les modifications non commitées seront replacées dans votre checkout local.","localConversation.moveToLocal.modal.title":"Déplacer vers l’environnement local","localConversation.moveToWorktree.error.branchRequired":"Nom de branche de l’arbre de travail requis","localConversation.moveToWorktree.error.createWorktree":"Échec de la création de l’arbre de travail : {message}","localConversation.moveToWorktree.error.move":"Échec du déplacement vers l’arbre de travail : {message}","localConversation.moveToWorktree.error.prepareBranch":"Échec de la préparation de la branche de l’arbre de travail « {branch} » : {message}","localConversation.moveToWorktree.error.rollbackIssues":"Problèmes de restauration : {issues}","localConversation.moveToWorktree.error.unknown":"Échec du déplacement vers l’arbre de travail. Veuillez réessayer.","localConversation.moveToWorktree.label":"Déplacer vers l’arbre de travail","localConversation.moveToWorktree.loading.subtitle":"Configuration de votre arbre de travail et déplacement des modifications locales…","localConversation.moveToWorktree.loading.title":"Déplacement vers l’arbre de travail","localConversation.moveToWorktree.modal.back":"Retour","localConversation.moveToWorktree.modal.branchAlreadyExists":"La branche existe déjà","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"La branche existe déjà.","localConversation.moveToWorktree.modal.branchesError":"Impossible de charger les branches","localConversation.moveToWorktree.modal.branchesLoading":"Chargement des branches...","localConversation.moveToWorktree.modal.branchesRetry":"Réessayer","localConversation.moveToWorktree.modal.continue":"Continuer","localConversation.moveToWorktree.modal.defaultBranchError":"La branche de l’arbre de travail doit être différente de la branche par défaut.","localConversation.moveToWorktree.modal.localBranchLabel":"Branche locale","localConversation.moveToWorktree.modal.localBranchPlaceholder":"Sélectionner la branche de checkout locale","localConversation.moveToWorktree.modal.noTargetBranch":"Aucune autre branche locale n’est disponible","localConversation.moveToWorktree.modal.retry":"Réessayer","localConversation.moveToWorktree.modal.subtitle":"Cette branche et toutes les modifications non commitées seront déplacées vers un arbre de travail. Vous devez extraire une autre branche localement à sa place.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex créera un nouvel arbre de travail pour ce fil.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"Choisissez un nom de branche d’arbre de travail. Codex l’utilisera à la place de la branche par défaut.","localConversation.moveToWorktree.modal.subtitle.loading":"Recherche de l’arbre de travail existant...","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"Cette branche sera déplacée vers un arbre de travail. Votre branche locale actuelle restera extraite.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex réutilisera l’arbre de travail existant pour ce fil.","localConversation.moveToWorktree.modal.title":"Déplacer vers l’arbre de travail","localConversation.moveToWorktree.modal.trailingSlashError":"Le nom de la branche ne peut pas se terminer par « / ».","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Nom de branche de l’arbre de travail","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Branche de l’arbre de travail","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nouvelle-branche","localConversation.personalityChanged":"Bascule vers la personnalité {personality}","localConversation.planSummary.collapse":"Réduire le résumé du plan","localConversation.planSummary.collapseTooltip":"Réduire","localConversation.planSummary.download":"Télécharger le plan","localConversation.planSummary.expand":"Développer le résumé du plan","localConversation.planSummary.expandTooltip":"Développer","localConversation.planSummary.openInNewWindow":"Ouvrir","localConversation.planSummary.openInNewWindow.tooltip":"Ouvrir dans une nouvelle fenêtre","localConversation.planSummary.title":"Forfait","localConversation.planSummary.titleWriting":"Écriture du plan","localConversation.planSummary.viewPlan":"Développer le plan","localConversation.previousMessagesSummary":"{count, plural, one {# message précédent} many {# messages précédents} other {# messages précédents}}","localConversation.remoteTaskCreated":"A créé {taskLink} dans Codex Cloud","localConversation.remoteTaskCreated.task":"tâche","localConversation.scrollToBottomButton":"Faire défiler jusqu'en bas","localConversation.sync.buttonLabel":"Transférer à l’environnement local","localConversation.sync.buttonLabel.tooltip":"Transférer les modifications entre cet arbre de travail et votre checkout local.","localConversation.sync.modal.loading.title":"Transfert des modifications...","localConversation.sync.modal.noChanges":"Aucune modification","localConversation.syncSetup.branchAriaLabel":"Nom de la branche","localConversation.syncSetup.branchName":"Nom de la branche","localConversation.syncSetup.branchPlaceholder.existing":"Sélectionner une branche existante","localConversation.syncSetup.branchPlaceholder.new":"codex/nouvelle-fonction","localConversation.syncSetup.branchesLoading":"Chargement des branches...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Déjà extrait","localConversation.syncSetup.checkoutClean":"Actuellement sur {branchName}","localConversation.syncSetup.checkoutDirty":"Actuellement sur {branchName} avec des modifications non commitées","localConversation.syncSetup.checkoutError":"Impossible d’extraire la branche : {message}","localConversation.syncSetup.checkoutLabel":"Extraire localement maintenant","localConversation.syncSetup.checkoutOnLocal":"Transférer à l’environnement local","localConversation.syncSetup.checkoutPending":"Vérification du statut local...","localConversation.syncSetup.checkoutUnavailable":"Espace de travail local non disponible","localConversation.syncSetup.checkoutUnknown":"Branche locale non disponible","localConversation.syncSetup.continue":"Continuer","localConversation.syncSetup.createBranchError":"Impossible de configurer la branche de transfert : {message}","localConversation.syncSetup.error":"Une erreur s’est produite : {message}","localConversation.syncSetup.error.workingTreeMissing":"Impossible de réaliser un instantané de l’arbre de travail. Veuillez réessayer le transfert.","localConversation.syncSetup.mode.ariaLabel":"Sélectionner le mode de la branche","localConversation.syncSetup.mode.existing":"Branche existante","localConversation.syncSetup.mode.new":"Nouvelle branche","localConversation.syncSetup.noBranches":"Aucune branche trouvée","localConversation.syncSetup.overwriteError":"La branche a été créée mais n’a pas été entièrement transférée. Transférez-la manuellement avant de l’extraire localement.","localConversation.syncSetup.setPrefix":"Définir un préfixe","localConversation.syncSetup.subtitle":"Tester et éditer les modifications de l’arbre de travail localement. <a>En savoir plus</a>","localConversation.syncSetup.success.checkedOut":"La branche a été créée et extraite localement","localConversation.syncSetup.success.notCheckedOut":"Branche créée","localConversation.syncSetup.title":"Transférer vers une branche locale","localConversation.syncWorktreeError.branchAriaLabel":"Nom de la branche","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/nouvelle-fonction","localConversation.syncWorktreeError.branchSetup.subtitle":"Choisissez une branche destinataire du transfert, puis essayez de recharger les modifications.","localConversation.syncWorktreeError.branchSetup.title":"Mettre à jour la branche","localConversation.syncWorktreeError.branchUpdate.cta":"Mettre à jour et réessayer","localConversation.syncWorktreeError.branchUpdate.error":"Impossible de mettre à jour la branche : {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Une erreur s’est produite : {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"La branche n’est extraite dans aucun arbre de travail.","localConversation.syncWorktreeV2.applyUncommitted":"Appliquer","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Vous devez extraire la branche localement pour appliquer les modifications non commitées","localConversation.syncWorktreeV2.branches.empty":"Aucune branche trouvée","localConversation.syncWorktreeV2.branches.loading":"Chargement des branches...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Changer la branche de transfert","localConversation.syncWorktreeV2.changeBranch.error":"Impossible de changer la branche de transfert : {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Échec de l’application","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Échec du remplacement sur l’arbre de travail","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Échec du remplacement en local","localConversation.syncWorktreeV2.commandError.back":"Retour","localConversation.syncWorktreeV2.commandError.body":"Une commande git a échoué lors du transfert. Vérifiez le résultat et réessayez.","localConversation.syncWorktreeV2.commandError.retry":"Réessayer","localConversation.syncWorktreeV2.description":"Transférer les modifications entre l’environnement local et cet arbre de travail <a>En savoir plus</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Sélectionner la direction du transfert","localConversation.syncWorktreeV2.error.generic":"Un problème est survenu lors du transfert. Veuillez réessayer.","localConversation.syncWorktreeV2.localBranchLabel":"Localement","localConversation.syncWorktreeV2.noChanges":"Calcul des modifications","localConversation.syncWorktreeV2.noChanges.summary":"Aucune modification","localConversation.syncWorktreeV2.overwrite.local":"Remplacer en local","localConversation.syncWorktreeV2.overwrite.worktree":"Remplacer sur l’arbre de travail","localConversation.syncWorktreeV2.partial.action.applyFailed":"Impossible d’appliquer les modifications","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Impossible de remplacer les modifications locales","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Impossible de remplacer les modifications de l’arbre de travail","localConversation.syncWorktreeV2.partial.appliedLabel":"Appliqué","localConversation.syncWorktreeV2.partial.back":"Retour","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Traitez les conflits et réessayez.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflits","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","localConversation.syncWorktreeV2.partial.retry":"Réessayer","localConversation.syncWorktreeV2.partial.skippedLabel":"Ignoré","localConversation.syncWorktreeV2.stateFailed.generic":"Une erreur s’est produite lors de la récupération des modifications de l’arbre de travail à transférer. Veuillez réessayer.","localConversation.syncWorktreeV2.stateFailed.title":"Impossible de charger les modifications de l’arbre de travail","localConversation.syncWorktreeV2.statusError.diffUnknown":"Impossible de charger les modifications de l’arbre de travail.","localConversation.syncWorktreeV2.statusError.retry":"Réessayer","localConversation.syncWorktreeV2.statusError.title":"Impossible de charger les modifications de la branche locale","localConversation.syncWorktreeV2.statusError.unknown":"Le statut de la branche n’est pas disponible pour le moment. Veuillez réessayer.","localConversation.syncWorktreeV2.success.apply":"Modifications appliquées avec succès","localConversation.syncWorktreeV2.success.overwrite":"Transfert réussi","localConversation.syncWorktreeV2.title":"Transférer les modifications","localConversation.syncWorktreeV2.worktreeLabel":"Arbre de travail","localConversation.userInputRequest.inProgress":"Demande en cours : {count, plural, one {question} many {questions} other {questions}}","localConversation.userInputRequest.noAnswer":"Aucune réponse fournie","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.count":"{count, plural, one {# question posée} many {# questions posées} other {# questions posées}}","localConversation.workedFor":"Exécution durant {time}","localConversation.worktreeBranchSetup.action.create":"Créer","localConversation.worktreeBranchSetup.branchAriaLabel":"Nom de la branche","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Créer une nouvelle branche","localConversation.worktreeBranchSetup.checkoutDisabled":"Cette branche est déjà extraite à {location}","localConversation.worktreeBranchSetup.checkoutError":"Impossible d’extraire la branche : {message}","localConversation.worktreeBranchSetup.createBranchError":"Impossible de configurer la branche : {message}","localConversation.worktreeBranchSetup.error":"Une erreur s’est produite : {message}","localConversation.worktreeBranchSetup.subtitle":"Créez une branche pour commiter les modifications, pousser et créer une demande d’extraction à partir de cet arbre de travail. <a>En savoir plus</a>","localConversation.worktreeBranchSetup.title":"Travaillez ici","localConversationPage.addWorktreeToSidebar.tooltip":"Enregistrez comme projet afin de démarrer de nouveaux fils depuis cet arbre de travail","localConversationPage.addWorktreeToSidebarError":"Impossible d’ajouter le projet","localConversationPage.commitAndCreatePrModal.errorTitle":"Échec du commit et de la création de la PR","localConversationPage.commitAndCreatePrModal.successTitle":"Commit et création de la PR avec succès","localConversationPage.commitAndPushModal.errorTitle":"Échec du commit et du push","localConversationPage.commitAndPushModal.successTitle":"Commit et push des modifications avec succès","localConversationPage.commitCreatePr.open":"Ouvrir la demande d’extraction","localConversationPage.commitCreatePr.successTitle":"Création réussie de la PR avec vos dernières modifications","localConversationPage.createBranchButtonLabel":"Créer une branche ici","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Créer une demande d’extraction","localConversationPage.createPrModal.createDescription":"Ouvrez une demande d’extraction pour vos modifications les plus récentes.","localConversationPage.createPrModal.errorTitle":"Échec de la demande d’extraction","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Ouvrir une PR","localConversationPage.createPrModal.successTitle":"Demande d’extraction créée","localConversationPage.createPrModal.title":"Créer une demande d’extraction","localConversationPage.createPrModal.viewDescription":"Une demande d’extraction existe déjà pour cette branche.","localConversationPage.createPrModal.viewTitle":"Demande d’extraction prête","localConversationPage.createPullRequestAuthGh":"Authentifier GitHub CLI : exécuter `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informations de la branche non disponibles","localConversationPage.createPullRequestButtonLabel":"Créer une demande d’extraction","localConversationPage.createPullRequestButtonLabel.loading":"Création de la demande d’extraction...","localConversationPage.createPullRequestDefaultBranchMissing":"Les informations de la branche par défaut ne sont pas disponibles","localConversationPage.createPullRequestError":"Impossible de créer la demande d’extraction","localConversationPage.createPullRequestExistingPullRequest":"Une demande d’extraction existe déjà pour cette branche","localConversationPage.createPullRequestGhStatusMissing":"Chargement du statut de GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Installer GitHub CLI (gh) pour créer des PR","localConversationPage.createPullRequestNoRepo":"Aucun référentiel git trouvé","localConversationPage.createPullRequestPushStatusMissing":"Chargement du statut du push…","localConversationPage.createPullRequestSetUpstream":"Pousser cette branche avant de créer une PR","localConversationPage.createPullRequestSuccessToast":"Demande d’extraction créée","localConversationPage.createPullRequestSwitchBranch":"Extraire une branche de fonctionnalité avant de créer une PR","localConversationPage.error.render":"Erreur d’affichage de la conversation locale","localConversationPage.error.toast":"Conversation introuvable","localConversationPage.forcePushError":"Impossible de forcer le push","localConversationPage.generatePullRequestMessageError":"Impossible de générer le titre et le corps de la demande d’extraction","localConversationPage.generatePullRequestMessageFailed":"Impossible de générer le titre et le corps de la demande d’extraction.","localConversationPage.gitActionResult.branch":"Branche","localConversationPage.gitActionResult.cancel":"Annuler","localConversationPage.gitActionResult.close":"Fermer","localConversationPage.gitActionResult.tryAgain":"Réessayer","localConversationPage.gitActions":"Actions Git","localConversationPage.newChat":"Nouveau chat","localConversationPage.openInTarget":"Ouvrir dans","localConversationPage.openPrimaryTarget":"Ouvrir","localConversationPage.planItemsCompleted":"{completedItems} sur {totalItems, plural, one {# tâche terminée} many {# tâches terminées} other {# tâches terminées}}","localConversationPage.pushAuthError":"Échec du push : authentification requise","localConversationPage.pushBranchMissing":"Informations de la branche non disponibles","localConversationPage.pushButtonLabel":"Notifications push","localConversationPage.pushButtonLabel.loading":"Push...","localConversationPage.pushError":"Impossible de pousser les modifications","localConversationPage.pushModal.branchLabel":"Branche","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Annuler","localConversationPage.pushModal.confirm":"Notifications push","localConversationPage.pushModal.description":"Poussez vos dernières modifications vers le référentiel distant.","localConversationPage.pushModal.errorTitle":"Échec du push","localConversationPage.pushModal.forcePush":"Forcer le push","localConversationPage.pushModal.successTitle":"Push terminé","localConversationPage.pushModal.title":"Pousser les modifications","localConversationPage.pushModal.tryAgain":"Réessayer","localConversationPage.pushNoUpstream":"Définir un upstream avant de pousser cette branche","localConversationPage.pushNoUpstreamError":"Échec du push : aucun upstream configuré","localConversationPage.pushNothingToPush":"Aucun nouveau commit à pousser","localConversationPage.pushRemoteChangedError":"Échec du push : nouveaux commits sur le référentiel distant","localConversationPage.pushRemoteRejectedError":"Push rejeté par le référentiel distant","localConversationPage.pushStatusMissing":"Chargement du statut du push…","localConversationPage.pushSuccessToast":"Push des modifications exécuté","localConversationPage.viewPullRequestButtonLabel":"Voir la demande d’extraction","localConversationPage.viewPullRequestButtonLabel.loading":"Chargement de la demande d’extraction...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liste} many {# listes} other {# listes}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# recherche} many {# recherches} other {# recherches}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Exploration","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"A parcouru","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} parcourus","localConversationTurnStory.showContent":"Afficher le contenu","localConversationTurnStory.streamContent":"Afficher le contenu en direct","localConversationTurnStory.toggleReasoning":"Afficher le raisonnement","localTaskRow.archiveError":"Échec de l’archivage de la conversation","localTaskRow.resumeError":"Échec du redémarrage de la tâche","mermaidDiagram.ariaLabel":"Diagramme Mermaid","mermaidDiagram.copySource":"Copier le mermaid","mermaidDiagram.originalCode":"Code source Mermaid","notifications.permissions.description":"Afficher les alertes quand des autorisations de notification sont requises","notifications.permissions.label":"Activer les notifications d’autorisation","notifications.turnMode.always":"Toujours","notifications.turnMode.description":"Définissez quand Codex vous alerte qu’une tâche est terminée","notifications.turnMode.label":"Activer les notifications de réalisation","notifications.turnMode.off":"Jamais","notifications.turnMode.unfocused":"Seulement en l’absence de focalisation","patchApprovalRequest.approve":"Approuver","patchApprovalRequest.menu.allowAlways":"Oui, et ne plus demander pour cette session","patchApprovalRequest.menu.allowForSession":"Oui, et ne plus demander pour cette session","patchApprovalRequest.menu.allowOnce":"Oui","patchApprovalRequest.prompt":"Souhaitez-vous effectuer ces modifications ?","patchApprovalRequest.reject":"Non","patchApprovalRequest.waitingForApproval":"En attente d’approbation pour modifier les fichiers","pendingRequest.approvalExec.collapse":"Réduire","pendingRequest.approvalExec.expand":"Développer","pendingRequestStory.toastAnswer":"Réponse : {answer}","pendingRequestStory.toastApprovalTitle":"Réponse d’approbation","pendingRequestStory.toastFollowupPrompt":"Prompt : {prompt}","pendingRequestStory.toastFollowupTitle":"Suivi envoyé","pendingRequestStory.toastNoAnswers":"Aucune réponse fournie","pendingRequestStory.toastQuestion":"Question : {question}","pendingRequestStory.toastUnknownDecision":"Inconnu","pendingRequestStory.toastUserInputTitle":"Réponses soumises","quickAction.request.codeReview.branches.new":"Examiner les modifications de {from} par rapport à {to}","quickAction.request.codeReview.uncommitted.new":"Examiner mes modifications non validées","reasoningItem.thinking":"Réflexion en cours","reasoningItem.thought":"Réflexion terminée","reasoningItem.thoughtWithElapsed":"Réflexion durant {elapsed}","recentConversations.title":"Conversations récentes","recentTasks.worktreeInitFailedTitle":"Échec de l’initialisation de l’arbre de travail","recentTasks.worktreeSettingUpTitle":"Configuration de l’arbre de travail","requestInputPanel.continue":"Continuer","requestInputPanel.dismiss":"Ignorer","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Saisissez du texte ici","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Non, et indiquer à Codex ce qu’il doit faire différemment","requestInputPanel.selectedBadge":"Sélectionnés","requestInputPanel.skip":"Ignorer","requestInputPanel.submit":"Envoyer","review.commit.ariaLabel.includeUnstaged":"Inclure les modifications non indexées","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commit en cours...","review.commit.disabled.loadingDiff":"Chargement du diff…","review.commit.disabled.missingContext":"Ajoutez du contexte pour générer un message de commit","review.commit.disabled.noChanges":"Aucune modification pour le commit","review.commit.disabled.noSelection":"Sélectionner les modifications pour le commit","review.commit.disabled.unavailable":"Le commit est indisponible pour le moment","review.commit.error":"Échec du commit des modifications","review.commit.form.changesToBeCommitted":"Modifications","review.commit.form.commitTo":"Branche","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuer","review.commit.form.title":"Effectuez un commit de vos modifications","review.commit.generate.emptyResponse":"Impossible de générer un message de commit.","review.commit.generate.failed":"Impossible de générer le message de commit : {error}","review.commit.generate.missingPrompt":"Ajoutez du contexte pour générer un message de commit.","review.commit.includeUnstaged":"Inclure les modifications non indexées","review.commit.loading.description":"Un peu de patience, cette opération peut prendre un peu de temps","review.commit.loading.step.commit.done":"Modifications incluses dans ce commit","review.commit.loading.step.commit.pending":"Commit des modifications","review.commit.loading.step.createPr.done":"Demande d’extraction créée","review.commit.loading.step.createPr.pending":"Création d’une demande d’extraction...","review.commit.loading.step.push.done":"Push vers la branche {branch} terminé","review.commit.loading.step.push.pending":"Push vers la branche {branch}","review.commit.loading.title.commit":"Commit des modifications","review.commit.loading.title.createPr":"Création d’une demande d’extraction","review.commit.loading.title.push":"Push des modifications","review.commit.messageLabel":"Message Commit","review.commit.messagePlaceholder":"Laissez en blanc pour générer automatiquement un message de commit","review.commit.nextSteps":"Prochaines étapes","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit et création de la PR","review.commit.nextSteps.commitAndPush":"Commit et push","review.commit.nextSteps.prRequiresGh":"GitHub CLI requis : {command}","review.commit.rows.changes":"Modifications","review.commit.rows.commitCount":"{count, plural, one {# commit} many {# commits} other {# commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} many {# commits} other {# commits}} et {stats}","review.commit.rows.fileCount":"{count, plural, one {# fichier} many {# fichiers} other {# fichiers}}","review.commit.state.error.body":"Une erreur s’est produite lors du commit. Vérifiez votre statut git et réessayez.","review.commit.state.error.title":"Échec du commit","review.commit.state.success.title":"Commit des modifications effectué","review.commit.untracked.loadingStats":"Chargement des statistiques de diff non suivies…","reviewFindingAttachments.count":"{count, plural, one {# résultat} many {# résultats} other {# résultats}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Modifiez votre configuration pour personnaliser le comportement de l’agent","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"Redémarrer Codex après l’édition pour appliquer les modifications","settings.agent.configuration.subtitle":"Ces paramètres s’appliquent partout où Codex est utilisé","settings.automations.banner.danger":"Les automatisations s’exécutent avec vos paramètres d’environnement de test par défaut, qui sont actuellement définis sur Accès complet. L’exécution d’automatisations en arrière-plan avec un accès complet est risquée, car Codex peut alors modifier des fichiers, exécuter des commandes et accéder au réseau sans en demander l’autorisation. Envisagez de mettre à jour les paramètres de l’environnement de test pour permettre l’écriture dans l’espace de travail et d’utiliser des <rulesDocsLink>règles</rulesDocsLink> pour définir de manière sélective les commandes que l’agent peut exécuter avec un accès complet.","settings.automations.banner.defaultHowTo.default":"Les automatisations s’exécutent avec vos paramètres d’environnement de test par défaut. Les appels d’outils échoueront s’ils nécessitent de modifier des fichiers en dehors de l’espace de travail, d’accéder au réseau ou d’utiliser des applications sur votre ordinateur. Vous pouvez autoriser de manière sélective l’exécution de commandes en dehors de l’environnement de test à l’aide de <rulesDocsLink>règles</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Les automatisations s’exécutent avec vos paramètres d’environnement de test par défaut, qui sont définis sur Lecture seule. Les appels d’outils échoueront s’ils nécessitent de modifier des fichiers, d’accéder au réseau ou d’utiliser des applications sur votre ordinateur. Envisagez de mettre à jour les paramètres de l’environnement de test pour permettre l’écriture dans l’espace de travail.","settings.automations.cancel":"Annuler","settings.automations.create":"Créer","settings.automations.cwdEmpty":"Aucun dossier de projet disponible","settings.automations.cwdLabel":"Projets","settings.automations.cwdPlaceholder":"Choisir un dossier","settings.automations.cwdSubtitle":"Si vous souhaitez qu’une automatisation s’exécute sur une branche spécifique, vous pouvez le préciser dans votre prompt.","settings.automations.delete":"Supprimer","settings.automations.dialog.editTitle":"Modifier l’automatisation","settings.automations.dialog.newTitle":"Nouvelle automatisation","settings.automations.dialog.subtitle":"Automatisez les tâches récurrentes en arrière-plan. Codex ajoute les résultats à la boîte de réception ou archive automatiquement la tâche s’il n’y a rien à rapporter. <learnMoreLink>En savoir plus</learnMoreLink>","settings.automations.dialog.title":"Créer une automatisation","settings.automations.executionCopy.git":"Les projets git s’exécutent dans des arbres de travail dédiés en arrière-plan.","settings.automations.executionCopy.local":"Les automatisations s’exécutent directement dans les répertoires du projet sélectionné.","settings.automations.executionCopy.nonGit":"Les projets non contrôlés par version s’exécutent localement, car les arbres de travail requièrent Git.","settings.automations.executionEnvironment.ariaLabel":"Environnement d’exécution","settings.automations.executionEnvironment.label":"Environnement d’exécution","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.local.help":"S’exécute directement dans le répertoire du projet sélectionné sans création d’arbre de travail.","settings.automations.executionEnvironment.worktree":"Arbre de travail","settings.automations.executionEnvironment.worktree.help":"S’exécute dans un arbre de travail Git dédié créé à partir du projet sélectionné, sans modification de votre checkout actuel.","settings.automations.loading":"Chargement…","settings.automations.nameLabel":"Nom","settings.automations.namePlaceholder":"Rechercher des problèmes Sentry","settings.automations.pause":"Pause","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"rechercher des plantages dans $Sentry","settings.automations.resume":"Reprendre","settings.automations.rruleSummaryFallback":"Planification personnalisée","settings.automations.runNow":"Tester","settings.automations.save":"Enregistrer","settings.automations.scheduleBadge.dayCount":"{count} j","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Jours de la semaine","settings.automations.scheduleBadge.weekends":"Week-ends","settings.automations.scheduleHeader":"Planification","settings.automations.scheduleHours":"heures","settings.automations.scheduleLabel":"Fréquence d’exécution","settings.automations.scheduleMode.daily":"Chaque jour","settings.automations.scheduleMode.interval":"Intervalle","settings.automations.scheduleModeLabel":"Type de planification","settings.automations.scheduleSummary.daily":"Chaque jour à {time}","settings.automations.scheduleSummary.interval":"Toutes les {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# jour} many {# jours} other {# jours}}","settings.automations.scheduleSummary.intervalDays":"{interval} le {days}","settings.automations.scheduleSummary.intervalHourly":"Toutes les heures","settings.automations.scheduleSummary.singleDay":"{day} à {time}","settings.automations.scheduleSummary.weekdays":"Les jours de semaine à {time}","settings.automations.scheduleSummary.weekdaysLabel":"jours de la semaine","settings.automations.scheduleSummary.weekends":"Le week-end à {time}","settings.automations.scheduleSummary.weekendsLabel":"week-ends","settings.automations.scheduleSummary.weekly":"{days} à {time}","settings.automations.scheduleWeekdays":"Activé","settings.automations.weekdayState.excluded":"Exclu","settings.automations.weekdayState.included":"Inclus","settings.conversationDetail.steps":"Étapes","settings.conversationDetail.steps.description":"Masquer les commandes et les résultats","settings.conversationDetail.stepsWithCommands":"Étapes avec commandes du code","settings.conversationDetail.stepsWithCommands.description":"Afficher les commandes, réduire les résultats","settings.conversationDetail.stepsWithOutput":"Étapes avec résultats du code","settings.conversationDetail.stepsWithOutput.description":"Afficher les commandes et développer les résultats","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Aucun chat archivé","settings.dataControls.archivedChats.error":"Impossible de charger les chats archivés.","settings.dataControls.archivedChats.loading":"Chargement des chats archivés...","settings.dataControls.archivedChats.unarchive":"Désarchiver","settings.dataControls.archivedChats.unarchiveError":"Impossible de désarchiver le chat","settings.dataControls.archivedChats.unarchiveSuccess":"Fil désarchivé. <viewNowLink>Afficher maintenant</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Fil désarchivé.","settings.dataControls.archivedChats.untitled":"Chat sans titre","settings.dataControls.archivedChats.viewNow":"Afficher maintenant","settings.editRow.headerPlaceholder":"Clé","settings.editRow.removeEntry":"Supprimer l’entrée","settings.editRow.valuePlaceholder":"Valeur","settings.general.appearance":"Thème","settings.general.appearance.codeFont":"Police du code","settings.general.appearance.codeFont.description":"Ajustez la police et la taille utilisées pour le code dans les chats et les diffs","settings.general.appearance.codeFontFamily":"Famille de polices du code","settings.general.appearance.codeFontSize":"Taille de police du code","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Configurer les fenêtres pour qu’elles utilisent un arrière-plan uni plutôt que la transparence système","settings.general.appearance.opaqueWindows.label":"Utiliser un arrière-plan de fenêtre opaque","settings.general.appearance.sansFontFamily":"Famille de polices Sans","settings.general.appearance.sansFontFamily.description":"Ajuster la police utilisée pour l’interface utilisateur Codex","settings.general.appearance.sansFontSize":"Taille de police Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Afficher les effets de célébration en plein écran pendant la première exécution de GPT-5.3-Codex-Spark","settings.general.appearance.sparkCelebrationEffects.label":"Effets de célébration Spark","settings.general.appearance.theme":"Thème","settings.general.appearance.theme.dark":"Sombre","settings.general.appearance.theme.description":"Utiliser le mode clair, sombre ou système","settings.general.appearance.theme.light":"Clair","settings.general.appearance.theme.system":"Système","settings.general.appearance.usePointerCursors.description":"Transformer le curseur en pointeur lors du survol d’éléments interactifs","settings.general.appearance.usePointerCursors.label":"Utiliser les curseurs du pointeur","settings.general.enterBehavior.description":"Lorsque cette option est activée, l’envoi des prompts multi-lignes se fait en appuyant sur {modifierSymbol} + Entrée.","settings.general.enterBehavior.label":"Exiger {modifierSymbol} + Entrée pour envoyer des prompts longs","settings.general.experimentalFeatures":"Fonctionnalités expérimentales (bêta)","settings.general.experimentalFeatures.empty":"Aucune fonctionnalité expérimentale disponible.","settings.general.experimentalFeatures.loading":"Chargement des fonctionnalités expérimentales...","settings.general.experimentalFeatures.restartNote":"Redémarrer Codex pour appliquer les modifications des fonctionnalités expérimentales","settings.general.experimentalFeatures.toggle":"Activer/désactiver {featureName}","settings.general.followUpQueueMode.description":"Mettre en file d’attente les actions de suivi durant l’exécution par Codex ou piloter l’exécution actuelle. Appuyez sur {invertFollowUpShortcutLabel} pour faire l’inverse pour un message.","settings.general.followUpQueueMode.interrupt":"Pilotage","settings.general.followUpQueueMode.label":"Comportement pour les actions de suivi","settings.general.followUpQueueMode.queue":"Mettre en file d’attente","settings.general.notifications":"Notifications","settings.general.power.preventSleepWhileRunning.description":"Gardez votre ordinateur actif pendant que Codex exécute un thread.","settings.general.power.preventSleepWhileRunning.label":"Empêcher la mise en veille durant l’exécution","settings.git.branchPrefix.ariaLabel":"Préfixe de la branche","settings.git.branchPrefix.description":"Préfixe utilisé lors de la création de nouvelles branches dans Codex","settings.git.branchPrefix.label":"Préfixe de la branche","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Impossible d’enregistrer le préfixe de la branche","settings.git.branchPrefix.save.success":"Préfixe de la branche enregistré","settings.git.commitInstructions.ariaLabel":"Instructions de commit","settings.git.commitInstructions.description":"Ajouté aux prompts de génération de messages de commit","settings.git.commitInstructions.label":"Instructions pour les commits","settings.git.commitInstructions.placeholder":"Ajouter aux directives pour les messages de commit...","settings.git.commitInstructions.save":"Enregistrer","settings.git.commitInstructions.save.error":"Impossible d’enregistrer les instructions pour les commits","settings.git.commitInstructions.save.success":"Instructions enregistrées pour les commits","settings.git.forcePush.ariaLabel":"Toujours forcer le push","settings.git.forcePush.description":"Utilisez l'option --force-with-lease lors du push depuis Codex","settings.git.forcePush.label":"Toujours forcer le push","settings.git.forcePush.save.disabled":"Option Toujours forcer le push désactivée","settings.git.forcePush.save.enabled":"Option Toujours forcer le push activée","settings.git.forcePush.save.error":"Impossible d’enregistrer le paramètre Forcer le push","settings.git.prInstructions.ariaLabel":"Instructions pour les demandes d’extraction","settings.git.prInstructions.description":"Ajouté aux corps des demandes d’extraction créées par Codex","settings.git.prInstructions.label":"Instructions pour les demandes d’extraction","settings.git.prInstructions.placeholder":"Ajouter aux directives pour les demandes d’extraction...","settings.git.prInstructions.save":"Enregistrer","settings.git.prInstructions.save.error":"Impossible d’enregistrer les instructions pour les demandes d’extraction","settings.git.prInstructions.save.success":"Instructions enregistrées pour les demandes d’extraction","settings.ide.defaultOpenTarget.description":"Emplacement d’ouverture par défaut des fichiers et dossiers","settings.ide.defaultOpenTarget.label":"Emplacement d’ouverture par défaut","settings.ide.defaultOpenTarget.placeholder":"Aucune cible trouvée","settings.ide.language.auto":"Détection automatique","settings.ide.language.autoOption":"Détection automatique","settings.ide.language.description":"Langue pour l’interface utilisateur de l’application","settings.ide.language.label":"Langue","settings.ide.language.search":"Rechercher dans les langues","settings.layout.actionButton":"Redémarrer l’extension","settings.layout.actionTitle":"Paramètres avec l’action","settings.layout.fullWidthTitle":"Paramètres (pleine largeur)","settings.layout.title":"Paramètres","settings.localEnvironments.actions.add":"Ajouter une action","settings.localEnvironments.actions.add.description":"Créez une nouvelle commande à exécuter depuis la barre d’outils.","settings.localEnvironments.actions.add.save":"Enregistrer","settings.localEnvironments.actions.empty":"Ajoutez une action pour exécuter des commandes depuis la barre d’outils locale.","settings.localEnvironments.actions.icon.debug":"Déboguer","settings.localEnvironments.actions.icon.run":"Exécuter","settings.localEnvironments.actions.icon.test":"Tester","settings.localEnvironments.actions.icon.tool":"Outil","settings.localEnvironments.actions.item.button.delete":"Supprimer","settings.localEnvironments.actions.item.command":"Script d’action","settings.localEnvironments.actions.item.name":"Nom","settings.localEnvironments.actions.item.platforms":"Plateformes","settings.localEnvironments.actions.item.platforms.help":"Exécuter uniquement sur un système d’exploitation spécifique.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Sélection de la plateforme","settings.localEnvironments.actions.item.platforms.specific":"Spécifique à la plateforme","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Supprimer","settings.localEnvironments.actions.title":"Actions","settings.localEnvironments.breadcrumb.back":"Retour","settings.localEnvironments.breadcrumb.edit":"modifier","settings.localEnvironments.breadcrumb.root":"Environnements","settings.localEnvironments.environment.actions.description":"Ces actions peuvent exécuter n’importe quelle commande et seront affichées dans l’en-tête.","settings.localEnvironments.environment.actionsLabel":"Actions","settings.localEnvironments.environment.create":"Créer un environnement local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Modifier l’environnement local","settings.localEnvironments.environment.empty":"Aucun environnement local n’est configuré pour ce projet pour le moment.","settings.localEnvironments.environment.name":"Nom","settings.localEnvironments.environment.setup":"Script de configuration","settings.localEnvironments.environment.setup.description":"Ce script s’exécutera sur la création de l’arbre de travail.","settings.localEnvironments.environment.setup.hint":"Exécution à la racine du projet.","settings.localEnvironments.environment.setup.platformOverrides":"Remplacements de la plateforme","settings.localEnvironments.environment.setup.platformOverrides.add":"Ajouter un script de configuration {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Remplace le script par défaut pour des systèmes d’exploitation spécifiques.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Supprimer","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Détails de l’environnement","settings.localEnvironments.file.missing":"Enregistrez pour créer ce fichier pour la première fois.","settings.localEnvironments.file.parseError":"Impossible d’analyser le fichier existant. Le fait d’enregistrer l’écrasera. ({error})","settings.localEnvironments.file.path":"Fichier : {path}","settings.localEnvironments.file.readError":"Impossible de charger les données de l’environnement local. ({error})","settings.localEnvironments.file.title":"Fichier d’environnement local","settings.localEnvironments.loading.body":"Récupération de la configuration de votre projet.","settings.localEnvironments.loading.title":"Chargement des environnements locaux","settings.localEnvironments.preview.devOnly":"(DEV uniquement)","settings.localEnvironments.preview.save":"Enregistrer","settings.localEnvironments.preview.saveError":"Impossible d’enregistrer le fichier. ({error})","settings.localEnvironments.preview.title":"Aperçu","settings.localEnvironments.save.disabled.name":"Ajoutez un nom d’environnement pour enregistrer.","settings.localEnvironments.save.disabled.noChanges":"Aucune modification à enregistrer.","settings.localEnvironments.save.disabled.saving":"Enregistrement…","settings.localEnvironments.save.success":"Environnement local enregistré","settings.localEnvironments.unavailable.body":"Impossible de charger les paramètres de l’environnement local pour ce projet.","settings.localEnvironments.unavailable.title":"Environnements locaux non disponibles","settings.localEnvironments.workspace.add":"Ajouter un projet","settings.localEnvironments.workspace.title":"Projet","settings.localEnvironments.workspaceSelect.addLabel":"Ajouter un environnement","settings.localEnvironments.workspaceSelect.description":"Les environnements locaux indiquent à Codex comment configurer les arbres de travail pour un projet. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Aucun projet pour le moment. Ajoutez-en un pour configurer des environnements locaux.","settings.localEnvironments.workspaceSelect.errorLabel":"Un environnement nécessite votre attention","settings.localEnvironments.workspaceSelect.learnMore":"En savoir plus","settings.localEnvironments.workspaceSelect.listLabel":"Projets disponibles","settings.localEnvironments.workspaceSelect.loading":"Chargement des projets.","settings.localEnvironments.workspaceSelect.loadingLabel":"Chargement de l’environnement","settings.localEnvironments.workspaceSelect.title":"Sélectionner un projet","settings.localEnvironments.workspaceSelect.viewAction":"Afficher","settings.mcp.addServer":"Ajouter un serveur","settings.mcp.app.configure":"Configurer","settings.mcp.app.connect":"Connecter","settings.mcp.apps.refresh":"Actualiser","settings.mcp.detail.addArgument":"Ajouter un argument","settings.mcp.detail.addEnvVar":"Ajouter une variable d’environnement","settings.mcp.detail.addEnvVarPassthrough":"Ajouter une variable","settings.mcp.detail.args":"Arguments","settings.mcp.detail.back":"Retour","settings.mcp.detail.command":"Commande à lancer","settings.mcp.detail.cwd":"Répertoire de travail","settings.mcp.detail.docs":"Ouvrir la documentation MCP","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"Transfert des variables d’environnement","settings.mcp.detail.envVars":"Variables de l’environnement","settings.mcp.detail.http.addEnvHeader":"Ajouter une variable","settings.mcp.detail.http.addHeader":"Ajouter un en-tête","settings.mcp.detail.http.bearerToken":"Var. env. jeton du porteur","settings.mcp.detail.http.envHeaders":"En-têtes des variables d’environnement","settings.mcp.detail.http.headers":"En-têtes","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nom","settings.mcp.detail.save":"Enregistrer","settings.mcp.detail.switchTransportNotice":"Si vous souhaitez changer de type de serveur MCP, procédez d’abord à une désinstallation.","settings.mcp.detail.titleExisting":"Mettre à jour le MCP {name}","settings.mcp.detail.titleNew":"Se connecter à un MCP personnalisé","settings.mcp.detail.transport.http":"Diffusion HTTP en continu","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Désinstaller","settings.mcp.empty":"Aucun serveur MCP personnalisé connecté","settings.mcp.myServers":"Serveurs personnalisés","settings.mcp.partnerServer.description.figma":"Génération d'un code de meilleure qualité en intégrant l’ensemble du contexte Figma","settings.mcp.partnerServer.description.github":"Intégration avec les API GitHub pour automatiser les workflows et extraire des données","settings.mcp.partnerServer.description.linear":"Intégration avec le suivi des problèmes et la gestion de projets de Linear","settings.mcp.partnerServer.description.notion":"Lecture de documents, mise à jour de pages, gestion de tâches","settings.mcp.partnerServer.description.playwright":"Intégration avec les fonctionnalités d’automatisation du navigateur pour mettre en œuvre la conception et tester l’interface utilisateur","settings.mcp.partnerServer.install":"Installer","settings.mcp.partnerServer.installAndAuthenticate":"Installer et s’authentifier","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Gérer","settings.mcp.partnerServer.vendor":"par {vendor}","settings.mcp.recommendedServers":"Serveurs recommandés","settings.mcp.restartApp":"Redémarrer","settings.mcp.restartExtension":"Redémarrer l’extension","settings.mcp.server.enable":"Activer","settings.mcp.server.login":"S’authentifier","settings.mcp.server.settings":"Paramètres","settings.multiselect.createOption":"Créer « {value} »","settings.multiselect.removeOption":"Supprimer","settings.nav.account":"Compte","settings.nav.agent":"Configuration","settings.nav.ariaLabel":"Paramètres","settings.nav.back":"Retour à l’appli","settings.nav.data-controls":"Fils archivés","settings.nav.environments":"Environnements cloud","settings.nav.externalTooltip":"[alpha] S’ouvre dans le navigateur","settings.nav.general-settings":"Général","settings.nav.git-settings":"Git","settings.nav.local-environments":"Environnements","settings.nav.mcp-settings":"Serveurs MCP","settings.nav.notImplemented":"[alpha] Non disponible dans l’alpha","settings.nav.personalization":"Personnalisation","settings.nav.skills-settings":"Compétences","settings.nav.usage-analytics":"Utilisation et analyses","settings.nav.worktrees":"Arbres de travail","settings.openSourceLicenses.back":"Retour","settings.openSourceLicenses.loading":"Chargement…","settings.openSourceLicenses.missing":"Aucune notification de tiers n’a été trouvée.","settings.openSourceLicenses.notSupported":"Non disponible dans cet hôte.","settings.openSourceLicenses.rowDescription":"Notifications de tiers pour les dépendances groupées","settings.openSourceLicenses.rowLabel":"Licences open source","settings.openSourceLicenses.subtitle":"Notifications de tiers pour les dépendances incluses dans cette application","settings.openSourceLicenses.title":"Licences open source","settings.openSourceLicenses.view":"Afficher","settings.personalization.agents.description":"Modifiez les instructions qui personnalisent votre utilisation de Codex. {learnMore}","settings.personalization.agents.learnMore":"En savoir plus","settings.personalization.agents.loadError":"Impossible de charger agents.md.","settings.personalization.agents.loading":"Chargement de agents.md…","settings.personalization.agents.placeholder":"Ajoutez vos instructions personnalisées…","settings.personalization.agents.retry":"Réessayer","settings.personalization.agents.save":"Enregistrer","settings.personalization.agents.save.error":"Impossible d’enregistrer agents.md","settings.personalization.agents.save.success":"agents.md enregistré","settings.personalization.agents.title":"Instructions personnalisées","settings.personalization.personality.description":"Choisir un ton par défaut pour les réponses de Codex","settings.personalization.personality.label":"Personnalité","settings.sample.contentBody":"Utilisez cette mise en page pour composer vos panneaux de paramètres avec un espacement cohérent.","settings.sample.contentTitle":"Exemple de bloc de contenu","settings.section.account":"Compte","settings.section.agent":"Configuration","settings.section.data-controls":"Fils archivés","settings.section.environments":"Environnements cloud","settings.section.external":"Ouvre dans votre navigateur pendant l'Alpha","settings.section.general-settings":"Général","settings.section.git-settings":"Git","settings.section.local-environments":"Environnements","settings.section.mcp-settings":"Serveurs MCP","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"Connectez des outils et sources de données externes.","settings.section.personalization":"Personnalisation","settings.section.skills-settings":"Compétences","settings.section.unavailable":"Pas encore disponible dans l'Alpha","settings.section.usage-analytics":"Utilisation et analyses","settings.section.worktrees":"Arbres de travail","settings.threadDetail.description":"Choisissez la quantité de résultats de commandes à afficher dans les fils","settings.threadDetail.label":"Détails des fils","settings.worktrees.conversation.untitled":"Conversation sans titre","settings.worktrees.delete.error":"Impossible de supprimer l’arbre de travail","settings.worktrees.empty.body":"Les arbres de travail créés par Codex apparaîtront ici.","settings.worktrees.empty.title":"Aucun arbre de travail pour le moment","settings.worktrees.error.body":"Une erreur s’est produite lors du chargement des arbres de travail.","settings.worktrees.error.retry":"Réessayer","settings.worktrees.error.title":"Impossible de charger les arbres de travail","settings.worktrees.loading.body":"Récupération des détails des arbres de travail.","settings.worktrees.loading.title":"Chargement des arbres de travail","settings.worktrees.repository.loading":"Chargement des métadonnées du référentiel...","settings.worktrees.repository.unknown":"Référentiel inconnu","settings.worktrees.row.conversations":"Conversations","settings.worktrees.row.conversations.empty":"Aucune conversation liée à cet arbre de travail.","settings.worktrees.row.conversations.loading":"Chargement des conversations…","settings.worktrees.row.delete":"Supprimer","settings.worktrees.row.title":"Arbre de travail","sidebarElectron.addWorkspaceRoot":"Ajouter un nouveau projet","sidebarElectron.archiveThread":"Archiver le fil","sidebarElectron.archiveThreadError":"Impossible d’archiver le fil","sidebarElectron.collapseFolder":"Réduire le dossier","sidebarElectron.createStableWorktree":"Créer un arbre de travail permanent","sidebarElectron.createStableWorktree.dialog.ariaLabel":"Nom du projet","sidebarElectron.createStableWorktree.dialog.cancel":"Annuler","sidebarElectron.createStableWorktree.dialog.create":"Créer","sidebarElectron.createStableWorktree.dialog.placeholder":"Nom du projet","sidebarElectron.createStableWorktree.dialog.subtitle":"Créez un nouvel arbre de travail git à partir de HEAD, ajoutez-le en tant que projet et conservez-le jusqu’à sa suppression","sidebarElectron.createStableWorktree.dialog.title":"Créer un arbre de travail et l’enregistrer comme projet","sidebarElectron.createStableWorktree.error":"Impossible de créer un arbre de travail permanent : {message}","sidebarElectron.debugNavLink":"Déboguer","sidebarElectron.editWorkspaceRootOptionName":"Modifier le nom","sidebarElectron.expandFolder":"Développer le dossier","sidebarElectron.groupByMenu.recency":"Liste chronologique","sidebarElectron.groupByMenu.title":"Organiser","sidebarElectron.groupByMenu.workspace":"Par projet","sidebarElectron.inboxRouteNavLink":"Automatisations","sidebarElectron.markThreadUnread":"Marquer comme non lu","sidebarElectron.missingWorkspaceRoot":"Ce dossier de projet a été supprimé ou déplacé","sidebarElectron.newThread":"Nouveau fil","sidebarElectron.newThreadInGroup":"Démarrer un nouveau fil dans {folder}","sidebarElectron.noRecentThreads":"Aucun fil récent","sidebarElectron.noTasks":"Aucun fil","sidebarElectron.noTasks.start":"Ajouter un nouveau projet","sidebarElectron.noTasksWithFilter":"Aucun fil ne correspond aux filtres","sidebarElectron.pinnedThreads":"Fils épinglés","sidebarElectron.recentNavLink":"Fils","sidebarElectron.recentThreads":"Fils récents","sidebarElectron.removeWorkspaceRootOption":"Supprimer","sidebarElectron.renameThread":"Renommer le fil","sidebarElectron.renameThreadDialogAriaLabel":"Titre du fil","sidebarElectron.renameThreadDialogCancel":"Annuler","sidebarElectron.renameThreadDialogPlaceholder":"Ajouter un titre…","sidebarElectron.renameThreadDialogSave":"Enregistrer","sidebarElectron.renameThreadDialogSubtitle":"Il doit être de préférence court et facilement identifiable.","sidebarElectron.renameThreadDialogTitle":"Renommer le fil","sidebarElectron.renameThreadError":"Impossible de renommer le fil","sidebarElectron.renameWorkspaceRootOptionLabel":"Nom d’affichage","sidebarElectron.showLess":"Afficher moins","sidebarElectron.showMenu.all":"Tous les fils","sidebarElectron.showMenu.relevant":"Pertinent","sidebarElectron.showMenu.relevantHint":"Afficher uniquement les fils récents pour la branche actuelle, les arbres de travail ou d’autres fils qui nécessitent votre attention.","sidebarElectron.showMenu.title":"Afficher","sidebarElectron.showMenu.tooltip":"Filtrer, trier et organiser les fils","sidebarElectron.showMenu.trigger":"Filtrer les fils de la barre latérale","sidebarElectron.showMore":"Afficher plus","sidebarElectron.skillsAppsRouteNavLink":"Compétences et applications","sidebarElectron.skillsRouteNavLink":"Compétences","sidebarElectron.sortMenu.created":"Créé","sidebarElectron.sortMenu.title":"Trier par","sidebarElectron.sortMenu.updated":"Mis à jour","sidebarElectron.taskNavigation":"Dossiers d’automatisations","sidebarElectron.tasksInFolder":"Automatisations dans {folder}","sidebarElectron.workspaceOptions":"Actions du projet pour {folder}","sidebarElectron.worktreeGroupTooltip":"Ceci est un arbre de travail git","skills.appsPage.apps.enableToggle":"Activer l’application","skills.appsPage.apps.installOnChatGpt":"Installer sur ChatGPT","skills.appsPage.apps.manageOnChatGpt":"Gérer sur ChatGPT","skills.appsPage.apps.noDescription":"Aucune description","skills.appsPage.createSkill":"Nouvelle compétence","skills.appsPage.empty.apps":"Aucune application trouvée","skills.appsPage.empty.discoverApps":"Aucune application à découvrir","skills.appsPage.empty.installedApps":"Aucune application installée","skills.appsPage.empty.skills":"Aucune compétence trouvée","skills.appsPage.heading":"Compétences et applications","skills.appsPage.search.all":"Rechercher dans les compétences et applications","skills.appsPage.search.all.label":"Rechercher dans les compétences et applications","skills.appsPage.search.apps":"Rechercher des applications","skills.appsPage.search.apps.label":"Rechercher des applications","skills.appsPage.search.skills":"Rechercher des compétences","skills.appsPage.search.skills.label":"Rechercher des compétences","skills.appsPage.section.apps":"Applications","skills.appsPage.section.apps.seeAll":"Voir les {count} applications","skills.appsPage.section.discover":"Découvrir","skills.appsPage.section.installedApps":"Installées","skills.appsPage.section.skills":"Compétences","skills.appsPage.section.skills.seeAll":"Voir les {count} compétences","skills.appsPage.subheading":"Donnez à Codex des superpouvoirs. <link>En savoir plus</link>","skills.appsPage.tab.apps":"Applications","skills.appsPage.tab.recommended":"Recommandés","skills.appsPage.tab.skills":"Compétences","skills.card.contentsError":"Impossible de charger les contenus des compétences.","skills.card.disable":"Désactiver","skills.card.disableSuccess":"Compétence {skillName} désactivée","skills.card.disabledBadge":"Désactivé","skills.card.enable":"Activer","skills.card.enableSuccess":"Compétence {skillName} activée","skills.card.loadingContents":"Chargement des contenus des compétences...","skills.card.more":"Plus d’actions","skills.card.open":"Ouvrir","skills.card.removeFailed":"Impossible de désinstaller la compétence","skills.card.removeSuccess":"Compétence {skillName} désinstallée","skills.card.toggleEnabledError":"Impossible de mettre à jour la compétence","skills.card.try":"Essayer","skills.card.trySkill":"Essayer la compétence","skills.card.uninstall":"Désinstaller","skills.hero.dotLabel":"Aller à la diapositive {index}","skills.hero.next":"Compétence présentée suivante","skills.hero.trySkill":"Essayer la compétence","skills.page.createSkill":"Nouvelle compétence","skills.page.empty":"Aucune compétence trouvée","skills.page.filteredEmpty":"Aucune compétence ne correspond à vos filtres","skills.page.filteredEmptyDescription":"Essayez d’ajuster les filtres sur votre recherche ou sa portée","skills.page.heading":"Compétences","skills.page.loading":"Chargement des compétences…","skills.page.refreshSkills":"Actualiser","skills.page.refreshSkillsToUseNew":"Actualiser pour utiliser la ou les nouvelles compétences","skills.page.search":"Rechercher des compétences","skills.page.search.label":"Rechercher des compétences","skills.page.subheading":"Donnez à Codex des superpouvoirs. <link>En savoir plus</link>","skills.preview.copyPrompt":"Copier le prompt","skills.preview.examplePrompt":"Exemple de prompt","skills.recommended.error":"Impossible de charger les compétences recommandées","skills.recommended.install":"Installer","skills.recommended.installSkill":"Installer une compétence","skills.recommended.installSuccess":"Compétence {skillName} installée","skills.recommended.installed":"Installées","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Installé par l’administrateur","skills.scope.builtIn":"Système","skills.scope.personal":"Personnel","skills.scope.repo":"Référentiel","skills.scope.system":"Système","skills.scope.team":"Pour l’équipe","skills.scope.user":"Utilisateur","skills.section.installed":"Installées","skills.section.recommended":"Recommandé","story.slidingToggle.existing":"Existante","story.slidingToggle.fromLocal":"Depuis l’environnement local","story.slidingToggle.new":"Nouveau","story.slidingToggle.toLocal":"Vers l’environnement local","terminal.close":"Fermer le terminal","terminal.title":"Terminal","thinkingShimmer.default":"Réflexion en cours","threadEnvIcon.cloudTooltip":"Cette conversation s’exécute dans Codex Cloud.","threadEnvIcon.localTooltip":"Cette conversation s’exécute en local.","threadEnvIcon.worktreeTooltip":"Cette conversation s’exécute dans un arbre de travail git local.","threadHeader.archiveConfirmCancel":"Annuler","threadHeader.archiveConfirmConfirm":"Archiver","threadHeader.archiveConfirmSubtitle":"Vous pourrez le trouver plus tard dans vos fils archivés.","threadHeader.archiveConfirmTitle":"Archiver le fil ?","threadHeader.copyAppLink":"Copier le deeplink","threadHeader.copySessionId":"Copier l’ID session","threadHeader.copyWorkingDirectory":"Copier le répertoire de travail","threadHeader.forkIntoLocal":"Embranchement local","threadHeader.forkIntoWorktree":"Embranchement vers un nouvel arbre de travail","threadHeader.forkPendingWorktreePrompt":"Créez un embranchement de cette conversation vers un nouvel arbre de travail.","threadHeader.forkPendingWorktreeTitle":"Conservation avec embranchement","threadHeader.forkThreadError":"Impossible de créer un embranchement du fil","threadHeader.forkThreadRequiresGitRepo":"Un embranchement vers un nouvel arbre de travail nécessite un référentiel git","threadHeader.moreActions":"Actions des fils","threadPage.newThread":"Nouveau fil","threadPage.runAction.changeEnvironment":"Changer d’environnement","threadPage.runAction.dropdown.titleWithEnvironment":"Actions de {environmentName}","threadPage.runAction.environmentSelector.label":"Choisir l’environnement","threadPage.runAction.label":"Exécuter","threadPage.runAction.missing.label":"Configurer une action d’exécution","threadPage.runAction.setup.commandLabel":"Commande à exécuter","threadPage.runAction.setup.description":"Indiquez à Codex comment installer les dépendances et démarrer votre application.","threadPage.runAction.setup.editMore":"Paramètres de l’environnement","threadPage.runAction.setup.placeholder":"p. ex. : npm install npm run","threadPage.runAction.setup.submit":"Enregistrer et exécuter","threadPage.runAction.setup.title":"Exécuter","threadPage.runAction.tooltip.withEnvironment":"Actions de {environmentName}","threadPage.toggleDiffPanel":"Activer/désactiver le panneau diff","threadPage.toggleTerminal":"Activer/désactiver le terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Ouvrir le dossier","toolSummaryForCmd.exploredFiles":"Fichiers <verb>listés</verb>","toolSummaryForCmd.exploredFilesInPath":"Fichiers <verb>listés</verb> dans {path}","toolSummaryForCmd.exploringFiles":"<verb>Création de la liste</verb> des fichiers","toolSummaryForCmd.exploringFilesInPath":"<verb>Création de la liste des fichiers</verb> dans {path}","toolSummaryForCmd.finishedBackgroundTerminal":"Terminal d’arrière-plan terminé","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"Terminal d’arrière-plan terminé avec {command}","toolSummaryForCmd.ranGenericCommand":"<status>Commande exécutée</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Exécuté</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lecture terminée</verb> de {path}","toolSummaryForCmd.runningGenericCommand":"<status>Exécution de la commande</status>{timer}","toolSummaryForCmd.runningTimer":"pour {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Recherche terminée</verb> pour {query}","toolSummaryForCmd.searchedForFiles":"<verb>Recherche</verb> de fichiers terminée","toolSummaryForCmd.searchedForInPath":"<verb>Recherche terminée</verb> pour {query} dans {path}","toolSummaryForCmd.searchingFor":"<verb>Recherche</verb> pour {query}","toolSummaryForCmd.searchingForFiles":"<verb>Recherche</verb> de fichiers","toolSummaryForCmd.searchingForInPath":"<verb>Recherche</verb> pour {query} dans {path}","toolSummaryForCmd.startedBackgroundTerminal":"Terminal d’arrière-plan démarré","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"Terminal d’arrière-plan démarré avec {command}","traceRecording.details.noteLabel":"Que faisiez-vous lorsque cela s’est produit ? (facultatif)","traceRecording.details.notePlaceholder":"J’ai navigué vers un long fil, puis changé plusieurs fois d’onglet...","traceRecording.details.submit":"Envoyer la trace","traceRecording.details.subtitle":"Nous pouvons envoyer cette trace du profil pour aider à diagnostiquer les problèmes de performances.","traceRecording.details.title":"Envoyer la trace du profil ?","traceRecording.progress.subtitle":"Gardez Codex ouvert pendant l’exécution de cette tâche.","traceRecording.saving.title":"Enregistrement de la trace...","traceRecording.startDetails.cancel":"Annuler","traceRecording.startDetails.submit":"OK, commencer l’enregistrement","traceRecording.startDetails.subtitle":"Après avoir cliqué sur OK, reproduisez le problème relatif aux performances, puis cliquez sur l’indicateur rouge flottant pour arrêter et examiner la trace.","traceRecording.startDetails.title":"Comment fonctionne l’enregistrement des traces","traceRecording.stopButton.ariaLabel":"Arrêter l’enregistrement de la trace","traceRecording.upload.successToast":"Trace du profil envoyée.","traceRecording.uploading.title":"Chargement de la trace...","wham.diff.addComment":"Ajouter un commentaire","wham.diff.binaryFile":"Non affiché, fichier binaire","wham.diff.noContent":"Aucun contenu","wham.fileTag.deleted":"Supprimé","wham.fileTag.new":"Nouveau","wham.formattedRelativeDateTime.compactDaysAgo":"{value} j","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mois","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} sem.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} ans","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Travail en cours sur votre tâche","wham.whamProposedTask.title":"Tâche suggérée","wham.whamProposedTask.useSuggestion":"Utiliser la suggestion","workspaceRootDialog.addError":"Impossible d’ajouter le projet","workspaceRootDialog.cancel":"Annuler","workspaceRootDialog.confirmAdd":"Ajouter un projet","workspaceRootDialog.confirmPick":"Utiliser un projet","workspaceRootDialog.description":"Saisissez un chemin sur {host} à utiliser comme projet.","workspaceRootDialog.pathLabel":"Chemin du projet","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Ajouter un chemin de projet","workspaceRootDialog.title.pick":"Choisir un chemin de projet","worktreeInitV2.cancel":"Annuler","worktreeInitV2.notification.failedTitle":"La configuration de l’arbre de travail a échoué","worktreeInitV2.output.empty":"En attente du résultat...","worktreeInitV2.status.error":"La configuration de l’arbre de travail a échoué.","worktreeInitV2.status.running":"Création d’un arbre de travail et exécution de la configuration.","worktreeInitV2.status.runningFork":"Création d’un arbre de travail pour un embranchement de cette conversation.","worktreeInitV2.status.success":"Arbre de travail prêt.","worktreeInitV2.title":"Création de l’arbre de travail","worktreeInitV2.workLocallyInstead":"Travailler plutôt localement","worktreeRestoreBanner.body":"L’arbre de travail de ce fil a été supprimé pour économiser de l’espace disque","worktreeRestoreBanner.missing.body":"Le répertoire de travail de ce fil n’existe plus.","worktreeRestoreBanner.missing.title":"Répertoire de travail actuel manquant","worktreeRestoreBanner.restore.error":"Impossible de restaurer l’arbre de travail : {message}","worktreeRestoreBanner.restore.success":"Arbre de travail restauré","worktreeRestoreBanner.restoreCta":"Restaurer l’arbre de travail","worktreeRestoreBanner.title":"Arbre de travail nettoyé"};Object.assign(e,globalThis.codexI18nOverrides?.["fr-FR"]);export{e as default};
 //# sourceMappingURL=fr-FR-DG60bzVt.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"कॉपी करें","app.sidebar.hide":"साइडबार को छिपाएं","app.sidebar.show":"साइडबार दिखाएं","app.sidebar.tooltip":"साइडबार टॉगल करें","appHeader.installUpdate":"अपडेट करें","appSunset.body":"इस ऐप का ये वर्ज़न अब सपोर्टेड नहीं है. कृपया लेटेस्ट वर्ज़न <here>यहां</here> से डाउनलोड करें.","appSunset.title":"अपग्रेड ज़रूरी है","automation.updateDirective.create":"बनाएँ","automation.updateDirective.open":"खोलें","automation.updateDirective.untitled":"अनटाइटल्ड ऑटोमेशन","automation.updateDirective.update":"अपडेट करें","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# एटेम्पट} other {# एटेम्पट्स}}","cloudTaskRow.archiveError":"टास्क को आर्काइव नहीं कर पाए","code.diff.requestChange":"बदलाव के लिए रिक्वेस्ट करें","code.diffComment.cancel":"कैंसल करें","code.diffComment.comment":"कमेंट करें","code.diffComment.delete":"डिलीट करें","code.diffComment.save":"सेव करें","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"कोई नतीजे नहीं रिपोर्ट किए गए.","codex.alert.closeAriaLabel":"बंद करें","codex.appUpsellBanner.cbpApi.message":"Codex ऐप के साथ तेज़ी से बनाएँ. अभी डाउनलोड करें या {learnMoreLink}.","codex.appUpsellBanner.download":"डाउनलोड करें","codex.appUpsellBanner.freeGo.message":"Codex 2 मार्च तक आपके प्लैन में शामिल है. तेज़ी से बनाने के लिए Codex ऐप आज़मा कर देखें.","codex.appUpsellBanner.later":"बाद में","codex.appUpsellBanner.learnMoreLowercase":"और ज़्यादा जानें","codex.appUpsellBanner.new":"नया","codex.appUpsellBanner.proPlusBusiness.message":"2 अप्रैल तक 2x रेट लिमिट्स के साथ Codex ऐप आज़मा कर देखें. अभी डाउनलोड करें या {learnMoreLink}.","codex.appUpsellBanner.title":"Codex ऐप","codex.applyDropdown.header.changes":"बदलाव","codex.applyDropdown.header.fileCount":"{count, plural, one {# फ़ाइल} other {# फ़ाइलें}}","codex.applyDropdown.header.rows":"पंक्तियां","codex.applyDropdown.header.title":"बदलावों को लागू करें","codex.applyDropdown.header.workspace":"प्रोजेक्ट","codex.applyDropdown.results.conflicted":"{count, plural, one {1 फ़ाइल विवादित:} other {{count} फ़ाइलें विवादित:}}","codex.applyDropdown.results.empty":"कोई फ़ाइलें कॉपी नहीं की गईं","codex.applyDropdown.results.skipped":"{count, plural, one {1 फ़ाइल छोड़ दी गई:} other {{count} फ़ाइलें छोड़ दी गईं.}}","codex.applyOrRevertBanner.apply":"लागू करें","codex.applyOrRevertBanner.applyMessage":"बदलाव लागू करें और लोकल तौर पर जारी रखें?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ये टास्क {environment} में बनाया गया था, इसलिए शायद साफ़ तौर पर लागू न हो.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment} में बदलाव किए गए इसलिए शायद साफ़ तौर पर लागू न हों.","codex.applyOrRevertBanner.reapply":"दोबारा लागू करें","codex.applyOrRevertBanner.revert":"उलट दें","codex.applyOrRevertBanner.revertMessage":"लागू किए गए बदलाव उलट दें?","codex.applyResultsDialog.applied":"साफ़-सुथरे तरीके से लागू किया गया ({count})","codex.applyResultsDialog.close":"बंद करें","codex.applyResultsDialog.conflicted":"विवादित ({count})","codex.applyResultsDialog.noDetails":"कोई फ़ाइल डिटेल्स उपलब्ध नहीं है.","codex.applyResultsDialog.skipped":"छोड़े गए ({count})","codex.applyResultsDialog.title":"रिज़ल्ट्स लागू करें","codex.archiveInfo":"आर्काइव की हुई चैट्स को {dataControlsLink} में देखें.","codex.archiveInfo.dataControlsLink":"डेटा कंट्रोल्स","codex.archiveInfo.electron":"आर्काइव की हुई चैट्स को {settingsLink} में देखें","codex.archiveInfo.extension":"आर्काइव की गई चैट्स अपने .codex फ़ोल्डर में देखें.","codex.archiveInfo.settingsLink":"सेटिंग्स","codex.banner.content.description":"टास्क को पैरेलल में रन करें, प्रोग्रेस को कहीं भी ट्रैक करें, और AI के साथ PRs को रिव्यु करें.","codex.banner.content.headline":"Codex ये सब करता है.","codex.cloudTaskRow.archiveTask":"टास्क को आर्काइव करें","codex.cloudTaskRow.confirmArchiveTask":"कन्फ़र्म करें","codex.command.feedback":"फ़ीडबैक","codex.command.findInThread":"खोजें","codex.command.forceReloadSkills":"फ़ोर्स रीलोड स्किल्स","codex.command.logOut":"लॉग आउट करें","codex.command.manageTasks":"टास्क मैनेज करें","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"पीछे जाएँ","codex.command.navigateForward":"आगे","codex.command.newThread":"नया थ्रेड","codex.command.nextThread":"अगला थ्रेड","codex.command.openFolder":"फ़ोल्डर खोलें","codex.command.openSkills":"स्किल्स पर जाएँ","codex.command.openThreadOverlay":"थ्रेड बाहर निकालें","codex.command.personalitySettings":"पर्सनैलिटी","codex.command.previousThread":"पिछला थ्रेड","codex.command.settings":"सेटिंग्स","codex.command.toggleDiffPanel":"डिफ पैनल को टॉगल करें","codex.command.toggleSidebar":"साइडबार टॉगल करें","codex.command.toggleTerminal":"टर्मिनल टॉगल करें","codex.commandGroup.app":"ऐप","codex.commandGroup.configure":"कॉन्फ़िगर करें","codex.commandGroup.navigation":"नेविगेशन","codex.commandGroup.panels":"पैनल्स","codex.commandGroup.skills":"स्किल्स","codex.commandGroup.thread":"थ्रेड","codex.commandGroup.workspace":"प्रोजेक्ट","codex.commandMenu.noResults":"कोई मैच नहीं","codex.commandMenu.searchPlaceholder":"कमांड्स सर्च करें","codex.commandMenu.suggestedGroup":"सुझाया गया","codex.commandMenu.switchWorkspace":"प्रोजेक्ट स्विच करें","codex.commandMenu.title":"कमांड मेनू","codex.common.retry":"दोबारा कोशिश करें","codex.composer.searchBranches":"ब्रांच सर्च करें","codex.dialog.basic.body":"ये Radix डायलॉग के चारों ओर हमारे रैपर का इस्तेमाल करके एक सिंपल मॉडल डायलॉग है.","codex.dialog.basic.cancel":"कैंसल करें","codex.dialog.basic.confirm":"कन्फ़र्म करें","codex.dialog.basic.open":"डायलॉग खोलें","codex.dialog.basic.title":"सैंपल डायलॉग","codex.dialog.long.close":"बंद करें","codex.dialog.long.line":"डायलॉग में लंबा कंटेंट दिखाने के लिए स्क्रॉल करने लायक लाइन {index}.","codex.dialog.long.open":"लंबा डायलॉग खोलें","codex.dialog.long.title":"लंबा कंटेंट डायलॉग","codex.dialog.unstyled.body":"ये कहानी दिखाती है कि कॉलर्स डायलॉग कंटेंट की स्टाइल को पूरी तरह से कैसे कंट्रोल कर सकते हैं.","codex.dialog.unstyled.open":"अनस्टाइल्ड डायलॉग खोलें","codex.dialog.unstyled.title":"अनस्टाइल्ड कंटेंट","codex.diff.openInEditorPrompt.openButton":"एडिटर में खोलें","codex.diff.openInEditorPrompt.singleLine":"यहाँ डिस्प्ले किए जाने के लिए फ़ाइल बहुत बड़ी है.","codex.diffView.failedToDecodeBase64Diff":"base64 डिफ़रेंस को डीकोड नहीं कर पाए","codex.diffView.filesChanged":"{fileCount, plural, one {# फ़ाइल बदली गई} other {# फ़ाइलें बदली गईं}}","codex.diffView.imagePreviewAlt":"इमेज प्रीव्यू","codex.diffView.imagePreviewEmpty":"कोई इमेज नहीं","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"कोई डिफ़रेंस डेटा नहीं","codex.diffView.pdfPreview.nextPage":"अगला पेज","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"पिछला पेज","codex.diffView.pdfPreviewEmpty":"कोई PDF प्रीव्यू नहीं","codex.diffView.pdfPreviewError":"PDF प्रीव्यू नहीं दिया जा सका","codex.diffView.richPreviewDisable":"रिच प्रीव्यू को डिसेबल करें","codex.diffView.richPreviewEnable":"रिच प्रीव्यू को इनेबल करें","codex.diffView.richPreviewLoading":"प्रीव्यू लोड किया जा रहा है...","codex.diffView.richPreviewToggle":"रिच प्रीव्यू  को टॉगल करें","codex.diffView.switchToUnified":"यूनिफ़ाइड डिफ़रेंस पर स्विच करें","codex.environmentSelector.noEnvironment":"कोई एन्वायर्नमेंट नहीं","codex.environments.environmentSettings":"एन्वायर्नमेंट सेटिंग्स","codex.environments.learnMore":"और ज़्यादा जानें","codex.environments.listError":"एन्वायर्नमेंट्स को लोड नहीं कर पाए.","codex.environments.noEnvironmentsFound":"कोई एन्वायर्नमेंट्स नहीं मिले","codex.environments.searchError":"एन्वायर्नमेंट्स सर्च नहीं कर पाए.","codex.errorBoundary.genericError":"ओह, एक एरर हो गया है","codex.errorBoundary.goHome":"दोबारा कोशिश करें","codex.file.patch.missing":"इस फ़ाइल के लिए पैच नहीं बनाया जा सका.","codex.gallery.automations.cwdLabel":"प्रोजेक्ट्स","codex.gallery.automations.nameLabel":"नाम","codex.gallery.automations.namePlaceholder":"किसी टास्क की समरी प्रस्तुत करें","codex.gallery.automations.promptLabel":"प्रॉम्प्ट","codex.gallery.automations.promptPlaceholder":"Codex को क्या करना चाहिए, इसके बारे में बताओ.","codex.gallery.dialogs.automation.label":"ऑटोमेशन डायलॉग","codex.gallery.dialogs.basic.body":"सीधे कन्फ़र्मेंशन्स या छोटे फ़ॉर्म्स के लिए इस लेआउट का इस्तेमाल करें.","codex.gallery.dialogs.basic.cancel":"कैंसल करें","codex.gallery.dialogs.basic.confirm":"कन्फ़र्म करें","codex.gallery.dialogs.basic.label":"बेसिक डायलॉग","codex.gallery.dialogs.basic.title":"सैंपल डायलॉग","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"समस्या के बारे में बताएं","codex.gallery.dialogs.feedbackSubmission.bad":"बुरा रिज़ल्ट","codex.gallery.dialogs.feedbackSubmission.bug":"बग","codex.gallery.dialogs.feedbackSubmission.good":"अच्छा रिज़ल्ट","codex.gallery.dialogs.feedbackSubmission.includeLogs":"मौजूदा Codex सेशन लॉग शामिल करें","codex.gallery.dialogs.feedbackSubmission.label":"फ़ीडबैक सबमिट करना","codex.gallery.dialogs.feedbackSubmission.other":"और भी बहुत कुछ","codex.gallery.dialogs.feedbackSubmission.placeholder":"समस्या के बारे में यहां बताएं","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"सुरक्षा जांच","codex.gallery.dialogs.feedbackSubmission.submit":"सबमिट करें","codex.gallery.dialogs.feedbackSubmission.title":"फ़ीडबैक","codex.gallery.dialogs.feedbackSuccess.body":"फ़ीडबैक अपलोड कर दिया गया है. अगर समस्या बनी रहती है, तो कृपया एक GitHub पर एक समस्या डालें या किसी मौजूदा समस्या में थ्रेड id बताएं:","codex.gallery.dialogs.feedbackSuccess.dismiss":"हटा दें","codex.gallery.dialogs.feedbackSuccess.label":"फ़ीडबैक सफ़लता","codex.gallery.dialogs.feedbackSuccess.title":"फ़ीडबैक अपलोड किया गया","codex.gallery.dialogs.gitApplyResults.applied":"साफ़-सुथरे तरीके से लागू किए गए (2)","codex.gallery.dialogs.gitApplyResults.close":"बंद करें","codex.gallery.dialogs.gitApplyResults.conflicted":"विवादित (1)","codex.gallery.dialogs.gitApplyResults.label":"रिज़ल्ट्स लागू करें","codex.gallery.dialogs.gitApplyResults.title":"रिज़ल्ट्स लागू करें","codex.gallery.dialogs.gitPushError.body":"लेटेस्ट बदलावों को पुल करें या अगर आप जानते हैं कि रिमोट हिस्टरी को ओवरराइट करना सुरक्षित है तो फ़ोर्स पुश करें.","codex.gallery.dialogs.gitPushError.cancel":"कैंसल करें","codex.gallery.dialogs.gitPushError.force":"फ़ोर्स पुश","codex.gallery.dialogs.gitPushError.label":"पुश एरर","codex.gallery.dialogs.gitPushError.subtitle":"आपकी ब्रांच origin/main के पीछे है.","codex.gallery.dialogs.gitPushError.title":"बदलाव लागू नहीं हो सके","codex.gallery.dialogs.gitRevert.cancel":"कैंसल करें","codex.gallery.dialogs.gitRevert.confirm":"उलट दें","codex.gallery.dialogs.gitRevert.label":"बदलावों को पहले जैसा करें","codex.gallery.dialogs.gitRevert.skip":"दोबारा नहीं पूछें","codex.gallery.dialogs.gitRevert.subtitle":"इस एक्शन से सभी बदलाव हट जाएंगे.","codex.gallery.dialogs.gitRevert.title":"बदलावों को पहले जैसा करें?","codex.gallery.dialogs.longForm.label":"लॉन्ग फ़ॉर्म डायलॉग","codex.gallery.dialogs.proseModal.body":"इस मोडल स्टाइल का इस्तेमाल लंबे इंस्ट्रक्शन्स, ऑनबोर्डिंग या रिच कंटेंट वाले ब्लॉक्स के लिए किया जाता है.","codex.gallery.dialogs.proseModal.close":"बंद करें","codex.gallery.dialogs.proseModal.subtitle":"लॉन्ग फ़ॉर्म गाइडेंस या डॉक्यूमेंटेशन यहां शेयर करें.","codex.gallery.dialogs.proseModal.title":"प्रोज़ मोडल","codex.gallery.dialogs.submitBlocked.label":"सबमिट ब्लॉक किया गया","codex.gallery.dialogs.submitBlocked.message":"प्रोजेक्ट उपलब्ध नहीं होने की वजह से आपका मेसेज भेजा नहीं जा सका.","codex.gallery.dialogs.submitBlocked.ok":"ठीक है","codex.gallery.dialogs.submitBlocked.title":"मेसेज नहीं भेज पाए","codex.gallery.dialogs.title":"डायलॉग्स","codex.gallery.dropdown.filterPlaceholder":"आइटम्स फ़िल्टर करें","codex.gallery.dropdowns.actionRow":"एक्शन रोज़","codex.gallery.dropdowns.actionRow.disabled":"डिसेबल किया गया एक्शन","codex.gallery.dropdowns.actionRow.primary":"प्राइमरी एक्शन","codex.gallery.dropdowns.actionRow.secondary":"सेकेंडरी एक्शन","codex.gallery.dropdowns.actionRow.trigger":"एक्शन्स दिखाएं","codex.gallery.dropdowns.basic":"बुनियादी ड्रॉपडाउन","codex.gallery.dropdowns.basic.newFile":"नई फ़ाइल","codex.gallery.dropdowns.basic.newFolder":"नया फ़ोल्डर","codex.gallery.dropdowns.basic.openSettings":"सेटिंग्स खोलें","codex.gallery.dropdowns.basic.title":"तुरंत एक्शन्स","codex.gallery.dropdowns.basic.trigger":"मेनू खोलें","codex.gallery.dropdowns.basic.upload":"अपलोड करें","codex.gallery.dropdowns.panel":"पैनल की सतह","codex.gallery.dropdowns.panel.apply":"लागू करें","codex.gallery.dropdowns.panel.body":"डिफ़्स को रिव्यु करें और उन्हें अपने प्रोजेक्ट में अप्लाई करें.","codex.gallery.dropdowns.panel.preview":"प्रीव्यू देखें","codex.gallery.dropdowns.panel.title":"बदलावों को लागू करें","codex.gallery.dropdowns.panel.trigger":"पैनल खोलें","codex.gallery.dropdowns.search":"सर्च करने लायक ड्रॉपडाउन","codex.gallery.dropdowns.search.first":"अल्फ़ा चैनल","codex.gallery.dropdowns.search.second":"बीटा ब्रांच","codex.gallery.dropdowns.search.third":"कैंडिडेट को रिलीज़ करें","codex.gallery.dropdowns.search.trigger":"आइटम्स फ़िल्टर करें","codex.gallery.dropdowns.submenu":"सबमेनू के साथ ड्रॉपडाउन","codex.gallery.dropdowns.submenu.optionA":"प्रोजेक्ट अल्फ़ा","codex.gallery.dropdowns.submenu.optionB":"प्रोजेक्ट बीटा","codex.gallery.dropdowns.submenu.optionC":"प्रोजेक्ट गामा","codex.gallery.dropdowns.submenu.primary":"ओनर असाइन करें","codex.gallery.dropdowns.submenu.secondary":" यहां मूव करें","codex.gallery.dropdowns.submenu.tertiary":"आर्काइव करें","codex.gallery.dropdowns.submenu.trigger":"एक्शन चुनें","codex.gallery.dropdowns.title":"ड्रापडाउन्स","codex.gallery.inbox.automations.close":"बंद करें","codex.gallery.inbox.automations.popover.cardTitle":"ऑटोमेशन्स को मैनेज करें","codex.gallery.inbox.automations.popover.dialogTitle":"ऑटोमेशन्स को मैनेज करें","codex.header.settingsTooltip":"सेटिंग्स","codex.hunk.patch.error":"स्टेज नहीं कर पाए","codex.hunk.patch.missing":"इस हंक के लिए पैच नहीं बनाया जा सका.","codex.hunk.patch.partialSuccess":"अधूरी सफ़लता","codex.hunk.patch.revertError":"अनस्टेज नहीं कर पाए","codex.hunk.patch.revertSuccess":"सही से अनस्टेज किया गया","codex.hunk.patch.success":"सही से स्टेज किया गया","codex.legal.autonomy.details":"और ज़्यादा जानकारी के लिए, {link} देखें","codex.legal.autonomy.details.link":"Codex डॉक्स","codex.legal.autonomy.title":"तय करें कि आप खुद से काम करने का कितना हक देना चाहते हैं","codex.legal.backButton":"पीछे जाएँ","codex.legal.cloud.taskOne.meta":"openai/agi · 12 अक्टूबर","codex.legal.cloud.taskOne.title":"एक नए डिज़ाइनर को रिपॉज़िटरी समझाएं","codex.legal.cloud.taskThree.meta":"openai/codex · 8 अक्टूबर","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"एक डार्कमोड थीम बनाएं","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 अक्टूबर","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"एक ऑनबोर्डिंग बग को ठीक करें","codex.legal.continue.apikey":"जारी रखें","codex.legal.continueButton":"आगे जाएं","codex.legal.copilot.details":"सभी मॉडल कॉल्स, बिलिंग, और रेट लिमिट्स के लिए आपके Copilot प्लैन का इस्तेमाल करता है. Codex एक्सटेंशन का इस्तेमाल {oaiTos} और {gitHubTos} दोनों के अधीन है.","codex.legal.copilot.gitHubTosLink":"GitHub सेवा की शर्तें","codex.legal.copilot.oaiTosLink":"OpenAI Codex सेवा की शर्तें","codex.legal.copilot.title":"GitHub Copilot की मदद से काम करता है","codex.legal.mistakes.review":"इसके द्वारा लिखे गए कोड और रन किए जाने वाले कमांड्स को रिव्यु करें","codex.legal.mistakes.title":"Codex गलतियां कर सकता है","codex.legal.powered.details":"आपके प्लैन की रेट लिमिट्स और {link} का इस्तेमाल करता है","codex.legal.powered.details.link":"ट्रेनिंग डेटा प्रेफ़रेंसेस","codex.legal.powered.title":"आपके ChatGPT अकाउंट की मदद से काम करता है","codex.legal.step.cloud.subtitle":"बैकग्राउंड में रन करने के लिए Codex को टास्क भेजें ताकि आप फ़ोकस कर सकें और तेज़ी से आगे बढ़ सकें.","codex.legal.step.cloud.title":"क्लाउड में Codex को सौंपें","codex.legal.step.intro.subtitle":"Codex सीधे आपकी रिपो में नैविगेट करता है, एडिट करता है, कमांड्स रन करता है, और टेस्ट एक्सीक्यूट करता है. आपके ChatGPT अकाउंट की मदद से काम करता है.","codex.legal.step.intro.title":"आपके IDE में Codex","codex.legal.step.todo.subtitle":"एक TODO कमेंट लिखें और इसे एक सिंगल क्लिक से Codex टास्क में बदल दें.","codex.legal.step.todo.title":"TODO को Codex टास्क में बदलें","codex.legal.todo.heading":"// TODO: स्कीमा लागू करें","codex.localConversation.closeImagePreview":"इमेज प्रीव्यू बंद करें","codex.localConversation.userImageAttachment":"यूज़र अटैचमेंट","codex.localTaskRow.archiveTask":"आर्काइव थ्रेड","codex.localTaskRow.awaitingApproval":"मंज़ूरी का इंतज़ार है","codex.localTaskRow.awaitingResponse":"जवाब के इंतज़ार में","codex.localTaskRow.confirmArchiveTask":"कन्फ़र्म करें","codex.loggedOut.apiKeyPrompt.cancel":"कैंसल करें","codex.loggedOut.apiKeyPrompt.confirm":"ठीक है","codex.loggedOut.apiKeyPrompt.getKey":"API की लें","codex.loggedOut.apiKeyPrompt.inputLabel":"अपनी OpenAI API की डालें","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API की के साथ क्लाउड टास्क डिसेबल किए गए","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot और API की के साथ क्लाउड टास्क डिसेबल किए गए","codex.loggedOut.signIn":"ChatGPT के साथ साइन इन करें","codex.loggedOut.signIn.cancel":"साइन-इन कैंसल करें","codex.loggedOut.signInWithCopilot":"GitHub Copilot के साथ साइन इन करें","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API की का इस्तेमाल करें","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} टूल","codex.mcpTool.collapsedLabel.verb.called":"कॉल किया गया","codex.mcpTool.collapsedLabel.verb.calling":"कॉल किया जा रहा है","codex.mcpTool.embeddedResource.contentLabel":"कंटेंट","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME टाइप","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"टूल ने कोई कंटेंट नहीं लौटाया","codex.mcpTool.rawPayloadHeading":"रॉ {server}.{tool} टूल कॉल पेलोड","codex.menu.recent":"हालिया","codex.menu.seeAllHistory":"पूरी हिस्टरी देखें","codex.modelCapacityBanner.headline.noReset":"इस समय {modelName} पूरी तरह से भरी हुई है. कृपया बाद में दोबारा कोशिश करें, या किसी दूसरे मॉडल के साथ नई बातचीत शुरू करें.","codex.modelCapacityBanner.headline.withReset":"इस समय {modelName} पूरी हो चुकी है. कृपया {resetDate} बाद दोबारा कोशिश करें, या किसी दूसरे मॉडल के साथ नई बातचीत शुरू करें.","codex.modelCapacityBanner.title":"चुने गए मॉडल की क्षमता पूरी हो चुकी है","codex.patch.change.contentsDeleted":"कंटेंट्स डिलीट कर दिए गए","codex.patch.change.created":"बनाया गया","codex.patch.change.created-file":"फ़ाइल बनाई गई","codex.patch.change.creating":"बनाया जा रहा है","codex.patch.change.deleted":"डिलीट किया गया","codex.patch.change.deleted-file":"फ़ाइल डिलीट की गई","codex.patch.change.deleting":"डिलीट किया जा रहा है","codex.patch.change.edited":"एडिट किया गया","codex.patch.change.edited-file":"फ़ाइल एडिट की गई","codex.patch.change.editing":"एडिटिंग","codex.patch.change.noChanges":"कोई बदलाव नहीं","codex.patch.change.rejected-add":"नामंज़ूर कर दिया","codex.patch.change.rejected-delete":"नामंज़ूर कर दिया","codex.patch.change.rejected-edit":"नामंज़ूर कर दिया","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total} में से {completed} टास्क पूरे हुए","codex.plan.todoListCreated":"{total} टास्क के साथ करने लायक कामों की लिस्ट बनाई गई","codex.profileDropdown.apiKeyAuth":"API की के साथ लॉग इन किया गया","codex.profileDropdown.codexSettings":"Codex सेटिंग्स","codex.profileDropdown.copilotAuth":"Copilot के साथ लॉग इन किया गया","codex.profileDropdown.defaultAccountTitle":"डिफ़ॉल्ट अकाउंट","codex.profileDropdown.enterBehavior":"लंबे प्रॉम्प्ट्स भेजने के लिए {modifierSymbol} + एंटर दबाएं","codex.profileDropdown.enterBehaviorError":"सेटिंग अपडेट नहीं की जा सकी","codex.profileDropdown.getPlus":"ऊंची लिमिट्स के लिए अपग्रेड करें","codex.profileDropdown.keyboardShortcuts":"कीबोर्ड के शॉर्टकट्स","codex.profileDropdown.language":"भाषा","codex.profileDropdown.languageDefault":"ऑटो-डिटेक्ट","codex.profileDropdown.languageSearchPlaceholder":"भाषाएं सर्च करें","codex.profileDropdown.languageUpdateError":"भाषा को अपडेट नहीं कर पाए","codex.profileDropdown.logOut":"लॉग आउट करें","codex.profileDropdown.mcp":"MCP सेटिंग्स","codex.profileDropdown.openConfigToml":"config.toml खोलें","codex.profileDropdown.openConfigToml.wsl":"WSL एन्वायर्नमेंट में config.toml खोलें","codex.profileDropdown.openExtensionSettings":"सेटिंग्स खोलें","codex.profileDropdown.openMcpSettings":"MCP सेटिंग्स खोलें","codex.profileDropdown.openOnStartup":"स्टार्टअप पर खोलें","codex.profileDropdown.openOnStartupError":"सेटिंग अपडेट नहीं की जा सकी","codex.profileDropdown.openSkillsSettings":"स्किल्स सेटिंग्स खोलें","codex.profileDropdown.personalAccountTitle":"निजी अकाउंट","codex.profileDropdown.queueFollowUps":"फ़ॉलो-अप्स को कतार में रखें","codex.profileDropdown.queueFollowUpsError":"सेटिंग अपडेट नहीं की जा सकी","codex.profileDropdown.readDocs":"डॉक्स पढ़ें","codex.profileDropdown.readSkillsDocs":"डॉक्स पढ़ें","codex.profileDropdown.runInWsl":"WSL में रन करें","codex.profileDropdown.runInWslError":"सेटिंग अपडेट नहीं की जा सकी","codex.profileDropdown.runInWslTooltip":"WSL में Codex रन करता है. बेहतर सैंडबॉक्स सिक्यूरिटी और बेहतर परफ़ॉर्मेंस के लिए सुझाया गया.","codex.profileDropdown.settings":"IDE सेटिंग्स","codex.profileDropdown.settingsPage":"सेटिंग्स","codex.profileDropdown.signInWithOpenAI":"ChatGPT के साथ साइन इन करें","codex.profileDropdown.skills":"स्किल्स सेटिंग्स","codex.profileDropdown.switchToCopilotAccount":"Copilot अकाउंट का इस्तेमाल करें","codex.profileDropdown.switchToOpenAIAccount":"OpenAI अकाउंट का इस्तेमाल करें","codex.profileDropdown.todoCodelens":"TODO कमेंट्स ठीक करें","codex.profileDropdown.todoCodelensError":"सेटिंग अपडेट नहीं की जा सकी","codex.profileDropdown.windowsDocumentation":"Windows डॉक्यूमेंटेशन","codex.profileFooter.signedInFallback":"सेटिंग्स","codex.profileFooter.upgrade":"अपग्रेड करें","codex.recentTasksMenu.clearSearch":"सर्च की क्लियर करें","codex.recentTasksMenu.cloud":"क्लाउड टास्क","codex.recentTasksMenu.count":"{count, plural, =0 {कोई टास्क चालू नहीं है} one {# टास्क चालू है} other {# टास्क चालू हैं}}","codex.recentTasksMenu.empty":"अभी तक कोई थ्रेड्स नहीं","codex.recentTasksMenu.errorCloud":"टास्क लोड नहीं कर पाए.","codex.recentTasksMenu.errorCloud.inline":"क्लाउड टास्क लोड नहीं कर पाए.","codex.recentTasksMenu.filterAll":"सभी","codex.recentTasksMenu.filterCloudTasks":"क्लाउड टास्क फ़िल्टर करें","codex.recentTasksMenu.filterTooltip":"एन्वायर्नमेंट के हिसाब से सारे टास्क फ़िल्टर करें","codex.recentTasksMenu.local":"लोकल टास्क","codex.recentTasksMenu.recent":"सभी टास्क","codex.recentTasksMenu.search":"हालिया टास्क सर्च करें","codex.recentTasksMenu.searchEmpty":"कोई रिज़ल्ट नहीं","codex.recentTasksMenu.tooltip":"टास्क हिस्टरी","codex.recentTasksMenu.trigger":"हालिया टास्क. {count, plural, one {# चालू है} other {# चालू है}}","codex.remoteConversation.applyDiff.applyCta":"बदलावों को लागू करें","codex.remoteConversation.applyDiff.dropdownTitle":"एक लोकल ब्रांच में बदलावों को लागू करें","codex.remoteConversation.applyDiff.revertCta":"बदलावों को पहले जैसा करें","codex.remoteConversation.closeImagePreview":"इमेज प्रीव्यू बंद करें","codex.remoteConversation.codexCloudTask":"आप एक <u>Codex क्लाउड</u> टास्क देख रहे हैं","codex.remoteConversation.errorWithMessage":"एरर: {message}","codex.remoteConversation.loadingImage":"इमेज लोड की जा रही है","codex.remoteConversation.openInWeb":"वेब में खोलें","codex.remoteConversation.streaming":"शुरू किया जा रहा है","codex.remoteConversation.turnFailed":"इस टास्क के दौरान एक एरर हुआ","codex.remoteConversation.turnTab.loading":"{number} के लिए अटेम्पट करें","codex.remoteConversation.turnTab.title":"{number} के लिए अटेम्पट करें","codex.remoteConversation.userImageAttachment":"यूज़र अटैचमेंट","codex.remoteConversation.viewPreviousTurns":"वेब में खोलें","codex.remoteConversation.viewPreviousTurns.buttonText":"खोलें","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"वेब में खोलें","codex.review.copyGitApplyCommand":"git apply कमांड कॉपी करें","codex.review.copyGitApplyCommand.toast":"git apply कमांड को क्लिपबोर्ड पर कॉपी कर लिया गया है","codex.review.diffTooLarge.description":"ये अंतर रिव्यु में डिस्प्ले करने के लिए बहुत बड़ा है.","codex.review.diffTooLarge.title":"डिस्प्ले किए जाने के लिए डिफ़ बहुत बड़ा है","codex.review.expandOrCollapseDiffButton.collapse":"सभी डिफ़रेंसेस को कोलैप्स करें","codex.review.expandOrCollapseDiffButton.expand":"सभी डिफ़रेंसेस को एक्स्पैंड करें","codex.review.expandOrCollapseDiffMenu.collapse":"सभी डिफ़रेंसेस को कोलैप्स करें","codex.review.expandOrCollapseDiffMenu.expand":"सभी डिफ़रेंसेस को एक्स्पैंड करें","codex.review.fileSearch.clear":"फ़ाइल फ़िल्टर क्लियर करें","codex.review.fileSearch.empty":"कोई भी फ़ाइलें मौजूदा फ़िल्टर से मैच नहीं करतीं.","codex.review.fileSearch.label":"फ़ाइलें फ़िल्टर करें","codex.review.fileSearch.placeholder":"फ़ाइलें फ़िल्टर करें…","codex.review.filesChanged":"{num, plural, =0 {कोई फ़ाइल नहीं बदली गई} one {# फ़ाइल बदली गई} other {# फ़ाइलें बदली गईं}}","codex.review.find.loadMore":"और मैच लोड करें","codex.review.fullReview.hideFileTree":"फ़ाइल ट्री छिपाएं","codex.review.fullReview.showFileTree":"फ़ाइल ट्री दिखाएं","codex.review.header.moreOptions":"ऑप्शन्स को रिव्यु करें","codex.review.largeDiff.banner":"बड़ा अंतर पाया गया — एक बार में एक फ़ाइल दिखाई जा रही है.","codex.review.loadFullFiles.disable":"पूरी फ़ाइलें लोड नहीं करें","codex.review.loadFullFiles.enable":"पूरी फ़ाइलें लोड करें","codex.review.noDiff":"कोड में हुए बदलाव यहां दिखाई देंगे","codex.review.noDiff.gitInit.createRepository":"गिट रिपॉज़िटरी बनाएँ","codex.review.noDiff.gitInit.creating":"बनाया जा रहा है...","codex.review.noDiff.gitInit.error":"Git इनिशियलाइज़ेशन नहीं हो पाया: {message}","codex.review.noDiff.gitInit.success":"गिट रिपॉज़िटरी बनाई गई","codex.review.noDiff.gitRepoRequired.description":"इस प्रोजेक्ट में किए गए बदलावों को ट्रैक करके उन्हें पहले जैसा करें.","codex.review.noDiff.gitRepoRequired.title":"एक Git रिपॉज़िटरी बनाएं","codex.review.noDiff.orNoLongerAvailable":"या लेटेस्ट डिफ़रेंसेस अब उपलब्ध नहीं हैं","codex.review.noDiff.reverted":"आखिरी टर्न वापस कर दिया गया है","codex.review.noDiff.revertedOrCommitted":"आखिरी टर्न या तो वापस या कमिट कर दिया गया है","codex.review.refreshGitQueries":"रीफ़्रेश करें","codex.review.revert.file.error":"{path} को उलट नहीं पाए","codex.review.revert.file.partialSuccess":"{path} को आंशिक तौर पर उलट किया गया","codex.review.revert.file.success":"{path} को उलट किया गया","codex.review.revert.hunk.error":"हंक {hunkNumber} को {path} में उलट नहीं पाए.","codex.review.revert.hunk.partialSuccess":"हंक {hunkNumber} को {path} में आंशिक तौर पर उलट किया गया","codex.review.revert.hunk.success":"हंक {hunkNumber} को {path} में उलट किया गया","codex.review.revert.section.error":"सेक्शन को उलट नहीं किया जा सका","codex.review.revert.section.partialSuccess":"सेक्शन को आंशिक तौर पर उलट किया गया","codex.review.revert.section.success":"सेक्शन को उलट किया गया","codex.review.revertDialog.cancel":"कैंसल करें","codex.review.revertDialog.confirm":"कन्फ़र्म करें","codex.review.revertDialog.message":"इस एक्शन से सभी बदलाव हट जाएंगे.","codex.review.revertDialog.skip":"दोबारा नहीं पूछें","codex.review.revertDialog.title":"बदलावों को पहले जैसा करें?","codex.review.richPreview.disable":"रिच प्रीव्यू को डिसेबल करें","codex.review.richPreview.enable":"रिच प्रीव्यू को इनेबल करें","codex.review.source.cloud":"क्लाउड के बदलाव","codex.review.source.local.all":"ब्रांच के सभी बदलाव","codex.review.source.local.lastTurn":"आखिरी टर्न के बदलाव","codex.review.source.local.uncommitted":"कमिट नहीं किए गए बदलाव","codex.review.source.worktree":"कमिट नहीं किए गए वर्क ट्री बदलाव","codex.review.stageFilter.empty.staged.description":"उन्हें स्टेज करने के लिए एडिट्स को मंज़ूर करें","codex.review.stageFilter.empty.staged.title":"कोई स्टेज किए गए बदलाव नहीं","codex.review.stageFilter.empty.unstaged.description":"कोड में हुए बदलाव यहां दिखाई देंगे","codex.review.stageFilter.empty.unstaged.title":"कोई अनस्टेज किए गए बदलाव नहीं","codex.review.stageFilter.staged":"स्टेज किए गए","codex.review.stageFilter.staged.count":"स्टेज किए गए · {count}","codex.review.stageFilter.unstaged":"अनस्टेज किए गए","codex.review.stageFilter.unstaged.count":"अनस्टेज किए गए · {count}","codex.review.switchToSplit":"स्प्लिट डिफ़रेंस पर स्विच करें","codex.review.switchToUnified":"यूनिफ़ाइड डिफ़रेंस पर स्विच करें","codex.review.toggleDiffView":"अलग व्यू पर टॉगल करें","codex.review.wordDiffs.disable":"वर्ड डिफ़्स को डिसेबल करें","codex.review.wordDiffs.enable":"वर्ड डिफ़्स को इनेबल करें","codex.review.wrap.disable":"वर्ड रैप को डिसेबल करें","codex.review.wrap.enable":"वर्ड रैप को इनेबल करें","codex.section.patch.missing":"इस सेक्शन के लिए पैच नहीं बना पाए.","codex.shell.collapse":"शेल को कोलैप्स करें","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"शेल कंटेंट्स कॉपी किए गए","codex.shell.copy.copyTooltip":"शेल कंटेंट्स कॉपी करें","codex.shell.copyCommand":"कमांड कॉपी करें","codex.shell.copyOutput":"आउटपुट कॉपी करें","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"बैश","codex.shell.expand":"शेल को एक्स्पैंड करें","codex.shell.name":"Shell","codex.shell.noOutput":"कोई आउटपुट नहीं","codex.signInFailed.message":"साइन-इन नहीं हो पाया: {rawMessage}","codex.stories.toast.show":"टोस्ट दिखाएं","codex.stories.tooltip.basic":"ये एक टूलटिप है","codex.stories.tooltip.hoverMe":"मुझे हॉवर करें","codex.stories.tooltip.largerOffset":"इस टूलटिप का ऑफ़सेट बड़ा है","codex.stories.tooltip.offsetButton":"बड़ा ऑफ़सेट","codex.stories.tooltip.shortcutButton":"शॉर्टकट के साथ","codex.stories.tooltip.withShortcut":"टर्मिनल टॉगल करें","codex.taskRow.title":"नया थ्रेड","codex.taskRowLayout.confirm":"कन्फ़र्म करें","codex.threadFindBar.chatFilter":"चैट्स सर्च करें","codex.threadFindBar.close":"खोज बंद करें","codex.threadFindBar.diffFilter":"डिफ़्स सर्च करें","codex.threadFindBar.label":"थ्रेड में खोजें","codex.threadFindBar.nextResult":"अगला रिज़ल्ट","codex.threadFindBar.noResults":"0 रिज़ल्ट्स","codex.threadFindBar.placeholder":"थ्रेड सर्च करें...","codex.threadFindBar.placeholder.extension":"थ्रेड सर्च करें...","codex.threadFindBar.placeholder.review":"डिफ़ सर्च करें...","codex.threadFindBar.placeholder.review.extension":"डिफ़ सर्च करें...","codex.threadFindBar.previousResult":"पिछला रिज़ल्ट","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# फ़ाइल बदली गई} other {# फ़ाइलें बदली गईं}}","codex.unifiedDiff.inlineLargeFile":"इनलाइन रेंडर करने के लिए बहुत बड़ी है","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"पहले जैसा करें","codex.unifiedDiff.revertPatchError":"बदलावों को पहले जैसा नहीं कर पाए","codex.unifiedDiff.revertPatchSuccess":"बदलाव उलट दिए गए","codex.unifiedDiff.reviewChangesSuffix":"बदलाव","codex.unifiedDiff.reviewShort":"रिव्यु करें","codex.unifiedDiff.viewDiffTooltip":"रिव्यु करें","codex.upsellBanner.business.headline":"अभी और एक्सेस पाने के लिए, अपने एडमिन को एक रिक्वेस्ट भेजें, या {resetDate} तक इंतज़ार करें.","codex.upsellBanner.cbp.headline":"अभी और ज़्यादा एक्सेस पाने के लिए, अपने एडमिन को एक रिक्वेस्ट भेजें.","codex.upsellBanner.cta.addCredits":"क्रेडिट्स जोड़ें","codex.upsellBanner.cta.upgradeAccount":"अपग्रेड करें","codex.upsellBanner.cta.viewUsage":"यूसेज देखें","codex.upsellBanner.free.trialHeadline":"आपकी रेट लिमिट {resetDate} को रीसेट होगी. Codex का इस्तेमाल जारी रखने और GPT-5.3-Codex की एक्सेस पाने के लिए, आज ही Plus का फ़्री ट्रायल शुरू करें.","codex.upsellBanner.freeOrGo.headline":"आपकी रेट लिमिट {resetDate} को रीसेट होगी. Codex का इस्तेमाल जारी रखने के लिए, आज ही Plus प्लैन में अपग्रेड करें.","codex.upsellBanner.general.headline":"आपकी रेट लिमिट {resetDate} को रीसेट होगी.","codex.upsellBanner.general.title":"आपके पास Codex मेसेज ख़त्म हो गए हैं","codex.upsellBanner.go.trialHeadline":"आपकी रेट लिमिट {resetDate} पर रीसेट होगी. Codex का इस्तेमाल जारी रखने के लिए, आज ही Plus का फ़्री ट्रायल शुरू करें.","codex.upsellBanner.plus.headline":"आपकी रेट लिमिट {resetDate} को रीसेट होगी. Codex का इस्तेमाल जारी रखने के लिए, आज ही क्रेडिट्स जोड़ें या Pro प्लैन में अपग्रेड करें.","codex.upsellBanner.pro.headline":"आपकी रेट लिमिट {resetDate} को रीसेट होगी. Codex का इस्तेमाल जारी रखने के लिए अभी क्रेडिट्स जोड़ें.","codex.userMessage.autoResolveSync":"विवादों को ऑटो रिज़ॉल्व करें ","codex.userMessage.commentCount":"{count, plural, one {# कमेंट} other {# कमेंट्स}}","codex.userMessage.copiedAriaLabel":"कॉपी हो गया","codex.userMessage.copiedTooltip":"कॉपी हो गया","codex.userMessage.copyAriaLabel":"मैसेज कॉपी करें","codex.userMessage.copyTooltip":"कॉपी करें","codex.userMessage.implementPlan":"प्लैन को लागू करें","codex.userMessage.noContent":"(कोई कंटेंट नहीं)","codex.userMessage.priorConversation":"पहले की बातचीत के रेफ़रेंसेस","codex.userMessage.reviewMode":"रिव्यु मोड","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} के लिए","codex.webSearch.summary.verb.completed":"वेब पर सर्च किया गया","codex.webSearch.summary.verb.inProgress":"वेब सर्च किया जा रहा है","codex.windowsInstallWslBanner.dismiss":"हटा दें","codex.windowsInstallWslBanner.installWslCta":"सैंडबॉक्स को इनेबल करें","codex.windowsInstallWslBanner.learnMore":"और ज़्यादा जानें","codex.windowsSandboxBanner.content":"एजेंट मोड, फ़ाइल सिस्टम और नेटवर्क एक्सेस को सीमित करने के लिए Windows पर एक एक्सपेरिमेंटल सैंडबॉक्स का इस्तेमाल करता है. {sandboxLink}","codex.windowsSandboxBanner.title":"एजेंट मोड के लिए सैंडबॉक्स को इनेबल करें","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows सेटिंग्स","codexUpgradeModal.body":"हमारा लेटेस्ट एड्वांस्ड एजेंटिक कोडिंग मॉडल — ज्यादा स्मार्ट, तेज़, और आम टेक्निकल कामों में ज्यादा काबिल. {link}","codexUpgradeModal.close":"बंद करें","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"और ज़्यादा जानें","codexUpgradeModal.title":"पेश है GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex को अभी आज़माएँ","codexUpgradeModal.useExistingModel":"मौजूदा मॉडल के साथ जारी रखें","commentAttachments.numComments":"{count, plural, one {# कमेंट} other {# कमेंट्स}}","commentAttachments.removeAriaLabel":"कमेंट्स अटैचमेंट हटाएं","common.close":"बंद करें","composer.addContext.openFilePickerError":"फ़ाइल पिकर नहीं खोल पाए","composer.addContextDropdown.ariaLabel":"फ़ाइलों को जोड़ें और भी बहुत कुछ करें","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"फ़ाइलों को जोड़ें और भी बहुत कुछ करें","composer.addPhotosAndFiles":"फ़ोटो और फ़ाइलें जोड़ें","composer.atMentionList.emptyQuery":"फ़ाइलें सर्च करने के लिए टाइप करें","composer.atMentionList.loading":"फ़ाइलें सर्च की जा रही हैं...","composer.atMentionList.noResults":"कोई रिज़ल्ट्स नहीं","composer.attemptsSelector.option":"{count, plural, one {# वर्ज़न} other {# वर्ज़न}}","composer.attemptsSelector.tooltip":"Codex द्वारा पैरेलल एटेम्पट्स की संख्या","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"{count, plural, one {# टर्मिनल} other {# टर्मिनल्स}} को रन किया जा रहा है","composer.backgroundTerminals.stop":"बंद करें","composer.cleanBackgroundTerminals.error":"बैकग्राउंड टर्मिनल्स को बंद नहीं कर किया जा सका.","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"लोकल","composer.cloudFollowUp.whereRun":"ये फ़ॉलो-अप कार्रवाई कहां रन होनी चाहिए?","composer.cloudTaskCreationError":"क्लाउड टास्क बनाते समय एरर","composer.cloudTaskError":"टास्क बनाने में एरर","composer.contextWindow.autoCompactionTooltipLine1":"Codex अपने आप अपने कॉन्टेक्स्ट को छोटा करता है","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"कॉन्टेक्स्ट विंडो:","composer.contextWindowUsageStatusFull":"{usage}% फ़ुल","composer.contextWindowUsageStatusLeft":"{usage}% इस्तेमाल किया गया ({remaining}% बाकी)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k इस्तेमाल किया गया","composer.customCliTooltip":"कस्टम CLI एक्सीक्यूटेबल का इस्तेमाल किया जा रहा है","composer.dictation.aria":"डिक्टेट करें","composer.dictation.cancel.aria":"डिक्टेशन बंद करें","composer.dictation.cancel.tooltip":"डिक्टेशन बंद करें","composer.dictation.startError":"डिक्टेशन शुरू नहीं हो पाया","composer.dictation.submit.aria":"ट्रांसक्राइब करें और भेजें","composer.dictation.submit.tooltip":"ट्रांसक्राइब करें और भेजें","composer.dictation.tooltip":"डिक्टेट करने के लिए दबा कर रखें","composer.dictation.transcribeError":"ऑडियो को ट्रांसक्राइब नहीं हो पाया","composer.dictation.unsupported":"इस डिवाइस पर डिक्टेशन की सुविधा उपलब्ध नहीं है.","composer.dropOverlay.holdShift":"ड्रॉप करने के लिए {key} को दबाए रखें","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"नया बनाएं","composer.environmentSelector.error":"एन्वायर्नमेंट्स को लोड करते समय एरर","composer.environmentSelector.goBack":"कम्पोज़र पर वापस जाएं","composer.environmentSelector.title":"एन्वायर्नमेंट चुनें","composer.environmentSelector.tooltip":"एक क्लाउड एन्वायर्नमेंट चुनें","composer.feedbackSlashCommand.title":"फ़ीडबैक","composer.filePicker.selectFile":"एक फ़ाइल चुनें","composer.filePicker.selectFiles":"फ़ाइलें चुनें","composer.followerTooltip":"आगे जारी रखने के लिए, उस विंडो पर वापस जाएं जहां से ये बातचीत शुरू हुई थी.","composer.footer.branchSwitch.checkoutError":"ब्रांच को स्विच नहीं कर पाए: {message}","composer.footer.branchSwitch.createAndCheckout":"नई ब्रांच बनाएँ और चेकआउट करें…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"एक नई ब्रांच बनाने और चेकआउट करने के लिए बदलावों को कमिट करें","composer.footer.branchSwitch.createBranchError":"ब्रांच नहीं बनाई जा सकी: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ब्रांच का नाम","composer.footer.branchSwitch.createDialog.branchExistsError":"ब्रांच पहले से मौजूद है.","composer.footer.branchSwitch.createDialog.close":"बंद करें","composer.footer.branchSwitch.createDialog.createAndCheckout":"बनाएँ और चेकआउट करें","composer.footer.branchSwitch.createDialog.placeholder":"नई-ब्रांच","composer.footer.branchSwitch.createDialog.title":"ब्रांच बनाएँ और चेकआउट करें","composer.footer.branchSwitch.createDialog.trailingSlashError":"ब्रांच के नाम के आखिर में “/” नहीं होना चाहिए.","composer.footer.branchSwitch.tooltip":"ब्रांच बदलें","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} को चेक आउट करने के लिए {fileCount, plural, one {# फ़ाइल} other {# फ़ाइलें}} में किए गए बदलावों को सेव करें.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"कमिट","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} को चेक आउट करने के लिए {fileCount, plural, one {# फ़ाइल} other {# फ़ाइलें}} में किए गए बदलाव.","composer.footer.branchSwitch.uncommittedDialog.cancel":"कैंसल करें","composer.footer.branchSwitch.uncommittedDialog.commit":"कमिट करें और ब्रांच बदलें…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"चेकआउट के दौरान इन फ़ाइलों में आपके द्वारा किए गए बदलाव ओवरराइट हो जाएंगे:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"कृपया जारी रखने के लिए अपने बदलावों को सेव करें","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"चुनी गई ब्रांच","composer.footer.branchSwitch.uncommittedDialog.title":"ब्रांच बदलने के लिए में किए गए बदलावों को सेव करें","composer.footer.branchSwitch.uncommittedSummaryPrefix":"कमिट नहीं किए गए: {fileCount, plural, one {# फ़ाइल} other {# फ़ाइलें}}","composer.forkSlashCommand.description":"इस थ्रेड को लोकल या एक नई वर्कट्री में फ़ोर्क करें","composer.forkSlashCommand.option.local.description":"एक नए लोकल थ्रेड में जारी रखें","composer.forkSlashCommand.option.local.title":"लोकल में फ़ोर्क करें","composer.forkSlashCommand.option.worktree.description":"एक नई वर्कट्री में जारी रखें","composer.forkSlashCommand.option.worktree.title":"नई वर्कट्री में फ़ोर्क करें","composer.forkSlashCommand.title":"फ़ोर्क","composer.ideContextIndicator":"IDE कॉन्टेक्स्ट","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE से कॉन्टेक्स्ट शामिल करें, जैसे कि {br}सिलेक्शन स्टेट और फ़ाइलें खोलें.","composer.ideContextIndicator.tooltipToggle":"टॉगल करने के लिए","composer.ideContextSlashCommand.disableDescription":"IDE कॉन्टेक्स्ट बंद करें","composer.ideContextSlashCommand.enableDescription":"अपने IDE से मौजूदा सिलेक्शन, खुली हुई फ़ाइलें, और दूसरा कॉन्टेक्स्ट शामिल करें","composer.ideContextSlashCommand.title":"IDE कॉन्टेक्स्ट","composer.imageInputsUnsupported":"यह मॉडल इमेज इनपुट को सपोर्ट नहीं करता है. कृपया कोई दूसरा मॉडल आजमाएँ.","composer.imageUploadFailed":"इमेज अपलोड नहीं कर पाए","composer.includeIdeContextDropdown":"IDE कॉन्टेक्स्ट शामिल करें","composer.includeIdeContextDropdown.ariaLabel":"IDE कॉन्टेक्स्ट शामिल करें","composer.localCwdDropdown.addWorkspaceRoot":"नया प्रोजेक्ट जोड़ें","composer.localCwdDropdown.noActiveRoot":"अपना प्रोजेक्ट चुनें","composer.localCwdDropdown.noResults":"कोई फ़ोल्डर नहीं मिला","composer.localCwdDropdown.title":"अपना प्रोजेक्ट चुनें","composer.localTaskError":"बातचीत शुरू करने में एरर","composer.mcpSlashCommand.description":"MCP सर्वर स्टेटस दिखाएं","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ऑथेंटिकेट नहीं किया गया","composer.mcpStatus.authOauth":"ऑथेंटिकेट किया गया (OAuth)","composer.mcpStatus.authToken":"ऑथेंटिकेट किया गया (API की)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"बंद करें","composer.mcpStatus.disabled":"डिसेबल किया गया","composer.mcpStatus.emptyLabel":"सर्वर:","composer.mcpStatus.emptyValue":"कोई MCP सर्वर कॉन्फ़िगर नहीं किया गया है","composer.mcpStatus.enabled":"इनेबल करें","composer.mcpStatus.errorLabel":"स्टेटस:","composer.mcpStatus.errorValue":"MCP स्टेटस लोड नहीं कर पाए","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"एजेंट","composer.mode.agentMode.auto.dropdownLabel":"एजेंट","composer.mode.agentMode.auto.optionLabel":"एजेंट","composer.mode.agentMode.changePermission":"स्विच मोड","composer.mode.agentMode.custom":"कस्टम","composer.mode.agentMode.custom.dropdownLabel":"कस्टम","composer.mode.agentMode.custom.option":"कस्टम (config.toml)","composer.mode.agentMode.custom.optionLabel":"कस्टम (config.toml)","composer.mode.agentMode.customInfo.cancel":"कैंसल करें","composer.mode.agentMode.customInfo.cli":"आप उन सेटिंग्स को CLI से या सीधे फ़ाइल को एडिट करके एडजस्ट कर सकते हैं.","composer.mode.agentMode.customInfo.confirm":"कस्टम मोड का इस्तेमाल करें","composer.mode.agentMode.customInfo.description":"कस्टम मोड आपके में डिफ़ाइन किए गए अप्रूवल और सैंडबॉक्स पॉलिसियों को लागू करता है<link>config.toml</link>फ़ाइल.","composer.mode.agentMode.customInfo.docs":"अप्रूवल और सैंडबॉक्स पॉलिसियों को कॉन्फ़िगर करने के बारे में और ज़्यादा जानें<link>एक्सीक्यूशन एन्वायर्नमेंट डॉक्स</link>.","composer.mode.agentMode.customInfo.refresh":"कोई भी बदलाव अगली बार एजेंट के रन करने पर प्रभावी होगा.","composer.mode.agentMode.customInfo.title":"कस्टम मोड कैसे काम करता है","composer.mode.agentMode.fullAccess":"एजेंट (पूरी एक्सेस)","composer.mode.agentMode.fullAccess.dropdownLabel":"एजेंट (पूरी एक्सेस)","composer.mode.agentMode.fullAccess.optionLabel":"एजेंट (पूरी एक्सेस)","composer.mode.agentMode.fullAccessConfirm.caution":"पूरी एक्सेस इनेबल करते समय सावधानी बरतें. इससे डेटा खो जाने, लीक होने, या सिस्टम के गलत काम करने का खतरा बहुत बढ़ जाता है.","composer.mode.agentMode.fullAccessConfirm.confirm":"हां, फ़िर भी जारी रखें","composer.mode.agentMode.fullAccessConfirm.description":"जब Codex पूरी एक्सेस के साथ रन करता है, तो ये आपके कंप्यूटर पर किसी भी फ़ाइल को एडिट कर सकता है और आपकी मंज़ूरी के बिना नेटवर्क के साथ कमांड्स रन कर सकता है.","composer.mode.agentMode.fullAccessConfirm.goBack":"कैंसल करें","composer.mode.agentMode.fullAccessConfirm.title":"पूरी एक्सेस इनेबल करें?","composer.mode.agentMode.readOnly":"चैट","composer.mode.agentMode.readOnly.dropdownLabel":"चैट","composer.mode.agentMode.readOnly.optionLabel":"चैट","composer.mode.agentMode.tooltip":"स्विच मोड","composer.mode.agentMode.tooltip.auto":"फ़ाइलें पढ़ें और एडिट करें, और कमांड्स रन करें.","composer.mode.agentMode.tooltip.custom":"config.toml में डिफ़ाइन किए गए लेटेस्ट अप्रूवल और सैंडबॉक्स पॉलिसियों का इस्तेमाल करें.","composer.mode.agentMode.tooltip.fullAccess":"Codex प्रोजेक्ट के बाहर की फ़ाइलों को एडिट कर सकता है और नेटवर्क एक्सेस के साथ कमांड रन कर सकता है. इस्तेमाल करते समय सावधानी बरतें.","composer.mode.agentMode.tooltip.readOnly":"फ़ाइलों को एडिट करने और कमांड्स रन करने के लिए अप्रूवल की ज़रुरत होती है.","composer.mode.cloud.tooltip":"एक क्लाउड एन्वायर्नमेंट में काम करें","composer.mode.contactAdmin":"और ज़्यादा एक्सेस पाने के लिए, अपने एडमिन से संपर्क करें","composer.mode.local":"लोकल","composer.mode.local.learnMore":"और ज़्यादा जानें","composer.mode.local.model.custom":"कस्टम","composer.mode.local.model.loadingModel":"मॉडल लोड किया जा रहा है","composer.mode.local.model.selecrReasoningEffort":"रीज़निंग सिलेक्ट करें","composer.mode.local.model.selectModel":"मॉडल चुनें","composer.mode.local.model.tooltip":"मॉडल चुनें","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"उच्च","composer.mode.local.reasoning.low.label":"कम","composer.mode.local.reasoning.medium.label":"मध्यम","composer.mode.local.reasoning.minimal.label":"कम से कम","composer.mode.local.reasoning.none.label":"कोई नहीं","composer.mode.local.reasoning.xhigh.label":"एक्स्ट्रा हाई","composer.mode.localRemoteWhereRun":"चुनें कि टास्क कहां रन की जाए","composer.mode.newTask.header":"इसमें जारी रखें","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"रेट लिमिट बाकी हैं","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} लिमिट","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {वीकली लिमिट} other {{weeks} वीकली लिमिट}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {हर सप्ताह} other {{weeks} हफ़्ता}}","composer.mode.remote.connectToCloud":"Codex वेब कनेक्ट करें","composer.mode.remote.connectToCloudDisabledTooltip":"क्लाउड पर टास्क भेजना इनेबल करने के लिए Codex वेब के ज़रिये एक एन्वायर्नमेंट सेट अप करें","composer.mode.remote.selectEnvironment":"एन्वायर्नमेंट चुनें","composer.mode.remote.sendToCloud":"क्लाउड पर भेजें","composer.mode.remote.setupViaWeb":"Codex वेब के ज़रिये एक एन्वायर्नमेंट सेटअप करें","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"क्लाउड · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"क्लाउड एन्वायर्नमेंट में काम करें","composer.mode.segmentedToggle.local.tooltip":"अपने लोकल प्रोजेक्ट में काम करें","composer.mode.segmentedToggle.worktree.tooltip":"एक पैरेलल वर्कट्री में काम करें","composer.mode.upgradeToPlus":"Plus में अपग्रेड करें","composer.mode.upgradeToPro":"Pro में अपग्रेड करें","composer.mode.workLocally":"लोकल प्रोजेक्ट","composer.mode.workLocally.currentBranchFallback":"आपकी ब्रांच","composer.mode.workLocally.tooltip":"{branchName} पर काम","composer.mode.worktree":"नई वर्कट्री","composer.mode.worktree.submoduleWarning":"इस रिपो में git सबमॉड्यूल्स हैं. वर्कट्री बनाना फ़ेल हो सकता है","composer.mode.worktree.tooltip":"पैरेलल में काम करने के लिए अपने लोकल प्रोजेक्ट की एक कॉपी बनाएं","composer.mode.worktreeSegment":"वर्कट्री","composer.modelChangeDuringConversationWarning.toast":"बातचीत के बीच में मॉडल्स बदलने से परफ़ॉर्मेंस खराब हो जाएगा.","composer.newChat.heading.browser":"हमें आगे क्या कोड करना चाहिए?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex config.toml में डिफ़ाइन की गई परमिशन का इस्तेमाल करता है.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex के पास आपके कंप्यूटर पर पूरी एक्सेस है (बढ़ा हुआ रिस्क).","composer.permissionsDropdown.custom.label":"कस्टम (config.toml)","composer.permissionsDropdown.custom.optionLabel":"कस्टम (config.toml)","composer.permissionsDropdown.default.label":"डिफ़ॉल्ट परमिशन्स","composer.permissionsDropdown.default.optionLabel":"डिफ़ॉल्ट परमिशन्स","composer.permissionsDropdown.default.tooltip":"Codex अपने आप एक सैंडबॉक्स में कमांड्स रन करता है.","composer.permissionsDropdown.disabled.requirements":"परमिशन्स requirements.toml द्वारा लॉक की गई हैं","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml द्वारा फ़ुल एक्सेस डिसेबल कर दी गई है","composer.permissionsDropdown.fullAccess.label":"पूरी एक्सेस","composer.permissionsDropdown.fullAccess.optionLabel":"पूरी एक्सेस","composer.permissionsDropdown.trigger.tooltip":"परमिशन्स बदलें","composer.personalitySlashCommand.description.friendly":"दोस्ताना, कोलैबोरेटिव, और मददगार","composer.personalitySlashCommand.description.pragmatic":"कम शब्दों में, टास्क पर फ़ोकस्ड, और डायरेक्ट","composer.personalitySlashCommand.label.friendly":"फ़्रेंडली","composer.personalitySlashCommand.label.pragmatic":"व्यावहारिक","composer.personalitySlashCommand.notApplicableSuffix":"(यह मौजूदा मॉडल पर लागू नहीं होता है)","composer.personalitySlashCommand.title":"पर्सनैलिटी","composer.placeholder.cloudFollowUp.directFollowUp":"इस क्लाउड टास्क के लिए फ़ॉलो-अप करें","composer.placeholder.cloudFollowUp.local":"एक नई लोकल टास्क बनाएं जो इस क्लाउड टास्क को रेफ़रेंस करती हो","composer.placeholder.cloudFollowUp.workingTree":"एक नई क्लाउड टास्क बनाएं जिसमें आपका मौजूदा कोड शामिल हो और जो इस टास्क को रेफ़रेंस करेगी","composer.placeholder.localFollowUp.cloud":"एक नए क्लाउड टास्क में फ़ॉलो-अप करें","composer.placeholder.localFollowUp.locally":"फ़ॉलो-अप बदलावों के लिए पूछें","composer.placeholder.newTask.cloud":"Codex से क्लाउड में कुछ भी करने के लिए कहें","composer.placeholder.newTask.doAnything":"Codex से कुछ भी करने को कहें","composer.placeholder.newTask.locally":"Codex से कुछ भी पूछें, फ़ाइलें जोड़ने के लिए, / कमांड्स के लिए @ का इस्तेमाल करें.","composer.planModeDropdown":"प्लैन मोड","composer.planModeDropdown.ariaLabel":"प्लैन मोड","composer.planModeIndicator":"प्लान","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex के साथ एक प्लैन बनाएँ","composer.planModeIndicator.tooltipToggle":"टॉगल करने के लिए","composer.planSlashCommand.disableDescription":"प्लैन मोड बंद करें","composer.planSlashCommand.enableDescription":"प्लैन मोड चालू करें","composer.planSlashCommand.title":"प्लैन मोड","composer.priorContext.label":"पिछला कॉन्टेक्स्ट","composer.priorContext.removeAriaLabel":"पिछला कॉन्टेक्स्ट हटाएं","composer.queuedMessage.delete":"कतार में डाले गए मेसेज डिलीट करें","composer.queuedMessage.edit":"मैसेज को एडिट करें","composer.queuedMessage.more":"कतार में डाले गए मेसेज एक्शन्स","composer.queuedMessage.sendNow":"स्टीयर करें","composer.queuedMessage.sendNowTooltip":"काम में रुकावट डाले बिना अभी भेजें","composer.queuedMessage.turnOff":"कतार बंद करें","composer.reasoningEffort.local.reasoning.tooltip":"रीज़निंग की कोशिश सिलेक्ट करें","composer.remote.branchStartingPoint":"यह टास्क किस ब्रांच से शुरू होना चाहिए?","composer.remote.branchesSectionHeading":"शाखाएं","composer.remote.currentEditsSuffix.followUp":"एक नया टास्क बनाएं जो इस क्लाउड टास्क को रेफ़रेंस करता हो.","composer.remote.currentEditsSuffix.useLocal":"लोकल कोड के बदलावों के साथ","composer.remote.directFollowUp":"लोकल बदलावों का इस्तेमाल न करें","composer.remote.errorLoadingBranches":"ब्रांच लोड करने में एरर","composer.remote.fromBranch":"{branch} से","composer.remote.fromCurrentBranch":"से{branch} (मौजूदा) ","composer.remote.loadingMoreBranches":"लोड किया जा रहा है...","composer.remote.localFileStateHeading":"लोकल फ़ाइल स्टेट","composer.remote.localWorkingTree":"लोकल बदलावों का इस्तेमाल करें","composer.remote.startingPoint":"ये टास्क किस कोड से शुरू होना चाहिए?","composer.reviewMode.branches.error":"ब्रांच लोड नहीं कर पाए","composer.reviewMode.branches.retry":"दोबारा कोशिश करें","composer.reviewMode.gitRoot.error":"Git रूट नहीं मिला","composer.reviewMode.option.baseBranch.simple":"एक बेस ब्रांच के साथ रिव्यू करें","composer.reviewMode.option.unstaged.simple":"जो बदलाव सेव नहीं हुए उन्हें देखें","composer.reviewMode.quickReviewError":"कोड रिव्यु शुरू नहीं कर पाए.","composer.reviewMode.title":"कोड रिव्यु","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml द्वारा फ़ुल एक्सेस डिसेबल कर दी गई है","composer.sandboxButton.windowsSandboxDialog.content":"Codex Windows पर एक्सपेरिमेंटल सैंडबॉक्स का इस्तेमाल करके फ़ाइल सिस्टम और नेटवर्क एक्सेस को कम कर सकता है. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows सैंडबॉक्स को इनेबल करें?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"सिर्फ़-पढ़ने के लिए इस्तेमाल करें","composer.searchEnvironments":"एन्वायर्नमेंट्स सर्च करें","composer.skillMentionList.app":"ऐप","composer.skillMentionList.appLogoAlt":"{name} लोगो","composer.skillMentionList.loading":"स्किल्स लोड की जा रही हैं...","composer.skillMentionList.noResults":"कोई स्किल्स नहीं मिलीं","composer.slashCommands.cloudEnvironment.title":"क्लाउड एन्वायर्नमेंट","composer.slashCommands.dialogLabel":"Slash कमांड मेनू","composer.slashCommands.dialogTitle":"Slash कमांड्स","composer.slashCommands.disabledTooltip":"Slash कमांड का इस्तेमाल करने के लिए एक नई बातचीत शुरू करें","composer.slashCommands.inputPlaceholder":"सर्च करें","composer.slashCommands.noResults":"कोई कमांड्स नहीं","composer.slashCommands.skillsGroup":"स्किल्स","composer.slashCommands.tooltip":"Slash कमांड्स ब्राउज़ करें","composer.status.close":"बंद करें","composer.statusPlain.alertLabel":"अलर्ट:","composer.statusPlain.alertValue":"{window} पर {remaining}% बाकी","composer.statusPlain.contextLabel":"कॉन्टेक्स्ट:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} इस्तेमाल किए गए / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% बाकी","composer.statusPlain.heading":"स्टेटस","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} लिमिट","composer.statusPlain.rateLimitDays":"{count}d लिमिट","composer.statusPlain.rateLimitFallbackLabel":"रेट लिमिट:","composer.statusPlain.rateLimitHours":"{count}h लिमिट","composer.statusPlain.rateLimitLabelBase":"रेट लिमिट","composer.statusPlain.rateLimitMinutes":"{count}m लिमिट","composer.statusPlain.rateLimitPercent":"{remaining}% बाकी","composer.statusPlain.rateLimitReset":"{time} को रीसेट करता है","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"रीसेट समय उपलब्ध नहीं है","composer.statusPlain.rateLimitUnavailable":"उपलब्ध नहीं है","composer.statusPlain.sessionCopiedAriaLabel":"कॉपी की गई सेशन आईडी","composer.statusPlain.sessionCopiedTooltip":"कॉपी की गई ID","composer.statusPlain.sessionCopyAriaLabel":"सेशन आईडी कॉपी करें","composer.statusPlain.sessionCopyTooltip":"ID कॉपी करें","composer.statusPlain.sessionLabel":"सेशन:","composer.statusSlashCommand.description":"थ्रेड आईडी, कॉन्टेक्स्ट यूसेज, और रेट लिमिट्स दिखाएं","composer.statusSlashCommand.title":"स्टेटस","composer.submit.blockedDialogOk":"ठीक है","composer.submit.blockedDialogTitle":"मेसेज नहीं भेज पाए","composer.submit.emptyMessage":"शुरू करने के लिए एक मेसेज लिखें","composer.submit.imageInputsUnsupported":"इस मेसेज को भेजने के लिए इमेजेज़ को हटा दें या मॉडल्स बदलें.","composer.submit.loadingLocalConfig":"लोड किया जा रहा है...","composer.submit.missingCloudConfig":"आपको एक क्लाउड एन्वायर्नमेंट चुनना होगा","composer.submit.missingCloudTurn":"इस टास्क पर फ़ॉलो-अप नहीं किया जा सकता","composer.submit.noWorkspace":"Codex का इस्तेमाल करने के लिए एक प्रोजेक्ट जोड़ें","composer.submit.waitForImageUploads":"इमेजेज़ अपलोड हो रहे हैं...","composer.submitButtonTooltip.send":"भेजें","composer.submitButtonTooltip.stop":"बंद करें","composer.worktreeEnvironment.create":"लोकल एन्वायर्नमेंट्स बनाएं","composer.worktreeEnvironment.default":"डिफ़ॉल्ट एन्वायर्नमेंट","composer.worktreeEnvironment.error":"एन्वायर्नमेंट्स को लोड करते समय एरर","composer.worktreeEnvironment.loading":"एन्वायर्नमेंट्स लोड किए जा रहे हैं...","composer.worktreeEnvironment.title":"लोकल एन्वायर्नमेंट","composer.worktreeEnvironment.tooltip":"एक लोकल एन्वायर्नमेंट चुनें","composer.worktreeSetupFailed":"वर्कट्री सेटअप फ़ेल हो गया. कृपया एक सेटअप स्क्रिप्ट के लिए .codex/environments देखें.","compoundButton.secondaryAction":"सेकेंडरी एक्शन","copyButton.copied":"कॉपी हो गया","copyButton.copiedAriaLabel":"कॉपी हो गया","copyButton.copy":"कॉपी करें","copyButton.copyAriaLabel":"कॉपी करें","copyButton.copyCode":"कोड कॉपी करें","diff.actionButton.revertFile":"फ़ाइल उलट दें","diff.actionButton.revertHunk":"उलट दें","diff.actionButton.revertSection":"सभी को उलट दें","diff.actionButton.revertSectionLabel":"सभी को उलट दें","diff.actionButton.stageFile":"फ़ाइल को स्टेज करें","diff.actionButton.stageHunk":"स्टेज करें","diff.actionButton.stageSection":"सभी को स्टेज करें","diff.actionButton.stageSectionLabel":"सभी को स्टेज करें","diff.actionButton.unstageFile":"फ़ाइल को अनस्टेज करें","diff.actionButton.unstageHunk":"अनस्टेज करें","diff.actionButton.unstageSection":"सभी को अनस्टेज करें","diff.actionButton.unstageSectionLabel":"सभी को अनस्टेज करें","diff.fileHeader.toggle":"फ़ाइल डिफ़ टॉगल करें","electron.onboarding.login.apikey.cancel":"कैंसल करें","electron.onboarding.login.apikey.continue":"जारी रखें","electron.onboarding.login.apikey.label":"OpenAI API की","electron.onboarding.login.apikey.open":"API की डालें","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"साइन-इन कैंसल करें","electron.onboarding.login.chatgpt.continue":"ChatGPT के साथ जारी रखें","electron.onboarding.login.devbox":"एक रिमोट SSH से कनेक्ट करें","electron.onboarding.login.error":"साइन-इन नहीं हो पाया: {rawMessage}","electron.onboarding.login.snake.start":"स्नेक खेलें","electron.onboarding.login.sshConfig.cancel":"कैंसल करें","electron.onboarding.login.sshConfig.continue":"जारी रखें","electron.onboarding.login.sshConfig.hostnameLabel":"SSH होस्टनेम","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"एजेंट्स के साथ बिल्ड करने का सबसे बढ़िया तरीका","electron.onboarding.login.title":"Codex में आपका स्वागत है","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"जारी रखें","electron.onboarding.welcome.doubleLimits.description":"Codex ऐप लॉन्च के जश्न में, आपको 2 अप्रैल तक 2× रेट लिमिट्स मिलेगी.","electron.onboarding.welcome.freego.description":"Codex 2 मार्च तक मुफ़्त में आपके प्लैन में शामिल है – आइए साथ मिलकर बनाना शुरू करते हैं.","electron.onboarding.welcome.new.title.anon":"स्वागत है!","electron.onboarding.workspace.continue":"जारी रखें","electron.onboarding.workspace.empty":"जारी रखने के लिए एक प्रोजेक्ट जोड़ें.","electron.onboarding.workspace.listLabel":"उपलब्ध प्रोजेक्ट्स","electron.onboarding.workspace.loading":"प्रोजेक्ट्स को लोड किए जा रहे हैं...","electron.onboarding.workspace.openFolder":"प्रोजेक्ट डालें","electron.onboarding.workspace.selectAll":"सभी को सिलेक्ट करें","electron.onboarding.workspace.skip":"छोड़ें","electron.onboarding.workspace.skip.error":"एक नया प्रोजेक्ट नहीं बनाया जा सका: {message}","electron.onboarding.workspace.skip.error.unknown":"अनजान एरर","electron.onboarding.workspace.skipping":"एक नया प्रोजेक्ट बनाया जा रहा है…","electron.onboarding.workspace.subtitle":"Codex चुनिंदा फ़ोल्डर्स में फ़ाइलों को एडिट कर पाएगा और कमांड रन कर पाएगा.","electron.onboarding.workspace.title":"एक प्रोजेक्ट चुनें","errorPage.list.checkSettings":"अपनी IDE सेटिंग्स को अपडेट करने की कोशिश करें","errorPage.list.configToml":"अपनी config.toml फाइल में गलत सेटिंग्स के लिए चेक करें","errorPage.list.downloadExtension":"एक्सटेंशन का कोई दूसरा वर्ज़न डाउनलोड करने की कोशिश करें","errorPage.list.runInWsl":"अगर आपको कम्पैटिबिलिटी से जुड़ी समस्याएं दिख रही हैं, तो WSL में रन करने को डिसेबल करने के लिए अपनी सेटिंग्स चेक करें","execApprovalRequest.menu.runAlways":"जी हां, और इस सेशन में दोबारा मत पूछना","execApprovalRequest.menu.runAlwaysWithAmendment":"हाँ, और {command} से शुरू होने वाले कमांड्स के लिए दोबारा मत पूछना","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"हाँ, और इससे शुरू होने वाले कमांड्स के बारे में दोबारा मत पूछना","execApprovalRequest.menu.runOnce":"हाँ","execApprovalRequest.prompt":"क्या आप इस कमांड को रन करना चाहते हैं?","execApprovalRequest.reject":"नहीं","execFooter.exitCode":"एग्ज़िट कोड {code}","execFooter.exitCode.unknown":"अनजान","execFooter.success":"हो गया","feedback.dialog.category.badResult":"बुरा रिज़ल्ट","feedback.dialog.category.bug":"बग","feedback.dialog.category.goodResult":"अच्छा रिज़ल्ट","feedback.dialog.category.other":"और भी बहुत कुछ","feedback.dialog.category.safetyCheck":"सुरक्षा जांच","feedback.dialog.descriptionPlaceholder":"समस्या के बारे में यहां बताएं","feedback.dialog.dismiss":"हटा दें","feedback.dialog.includeLogsLabel":"मौजूदा Codex सेशन लॉग शामिल करें","feedback.dialog.submit":"सबमिट करें","feedback.dialog.submitError":"हम आपका फ़ीडबैक सबमिट नहीं कर सके. कृपया कुछ देर बाद दोबारा कोशिश करें.","feedback.dialog.title":"फ़ीडबैक","feedback.dialog.uploadedMessage.existingIssue":"मौजूदा खुला मामला","feedback.dialog.uploadedMessage.openIssue":"एक GitHub मामला खोलें","feedback.dialog.uploadedMessage.withThread":"फ़ीडबैक अपलोड किया गया. अगर समस्या बनी रहती है, तो कृपया {openIssueLink} या एक {existingIssueLink} में थ्रेड id बताएं:","feedback.dialog.uploadedTitle":"फ़ीडबैक अपलोड किया गया","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} हटाएँ","header.back":"पीछे जाएँ","header.recentChats":"कार्य","header.recentTasks.seeAll":"सभी ({total}) को देखें","home.header.getPlus":"Plus आज़माएँ","home.hero.letsBuild":"आइए बनाते हैं","homePage.mainContent":"मुख्य कंटेंट","imageAttachment.defaultName":"इमेज","imageAttachment.preview.close":"इमेज प्रीव्यू बंद करें","imageAttachment.removeAriaLabel":"{filename} हटाएँ","implementPlanRequest.option.implement":"जी हां, इस प्लैन को लागू करें","implementPlanRequest.prompt":"इस प्लैन को लागू करें?","inbox.archived.deleteError":"आर्काइव किया गया रन डिलीट नहीं किया जा सका","inbox.archived.deleteRun":"आर्काइव किया गया रन डिलीट करें","inbox.archived.deleteSuccess":"आर्काइव किया गया थ्रेड डिलीट कर दिया गया है. <settingsLink>आर्काइव किए गए थ्रेड्स</settingsLink> में देखें.","inbox.archived.inlineLabel.auto":"यह थ्रेड अपने आप आर्काइव हो गया था. <learnMoreLink>और ज़्यादा जानें</learnMoreLink>","inbox.archived.inlineLabel.manual":"ये थ्रेड आर्काइव किया गया था.","inbox.archived.noMessageFound":"कोई मेसेज नहीं मिला","inbox.automations.createError":"ऑटोमेशन नहीं बनाया जा सका","inbox.automations.deleteConfirm.cancel":"कैंसल करें","inbox.automations.deleteConfirm.confirm":"ऑटोमेशन को डिलीट करें","inbox.automations.deleteConfirm.description":"इससे ऑटोमेशन हमेशा के लिए डिलीट हो जाएगा और आगे के इसके सभी रन बंद हो जाएंगे.","inbox.automations.deleteConfirm.title":"{name} को डिलीट करें?","inbox.automations.deleteError":"ऑटोमेशन डिलीट नहीं किया जा सका","inbox.automations.editTooltip":"ऑटोमेशन एडिट करें","inbox.automations.inProgress":"चालू है","inbox.automations.new":"नया","inbox.automations.newToolbar":"नया ऑटोमेशन","inbox.automations.pauseTooltip":"ऑटोमेशन को रोकें","inbox.automations.resumeTooltip":"ऑटोमेशन को दोबारा चालू करें","inbox.automations.startingNow":"अभी शुरू किया जा रहा है","inbox.automations.startsIn":"{startTime} में शुरू होने वाला है","inbox.automations.status.active":"एक्टिव","inbox.automations.status.paused":"रोका गया","inbox.automations.status.runs":"{count} रन्स","inbox.automations.status.started":"शुरू होने की तारीख {date}","inbox.automations.updateError":"ऑटोमेशन अपडेट नहीं किया जा सका","inbox.automations.workspaceFallback":"-","inbox.filter.all":"सभी","inbox.filter.ariaLabel":"इनबॉक्स आइटम्स फ़िल्टर करें","inbox.filter.unread":"नहीं पढ़े गए","inbox.list.archived":"आर्काइव किए गए","inbox.list.inProgress":"चालू है","inbox.list.recent":"पूरा हो गया","inbox.list.upNext":"शेड्यूल किया गया","inbox.mode.automations":"ऑटोमेशन्स","inbox.mode.automations.beta":"बीटा","inbox.noDescription":"कोई जानकारी नहीं दी गई","inbox.openThread":"थ्रेड ओपन करें","inbox.rightPanel.emptySubtitle":"शेड्यूल किए गए टास्क सेट अप करके काम को ऑटोमेट करें","inbox.rightPanel.emptySubtitle.learnMore":"शेड्यूल किए गए थ्रेड्स सेट अप करके काम को ऑटोमेट करें.<link>और ज़्यादा जानें</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# एक्टिव ऑटोमेशन} other {# एक्टिव ऑटोमेशन्स}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"कोई नहीं पढ़े हुए ऑटोमेशन्स नहीं","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# नहीं पढ़े हुए ऑटोमेशन्स} other {# नहीं पढ़े हुए ऑटोमेशन्स}}","inbox.rightPanel.emptyTitle":"कोई आइटम सिलेक्ट नहीं किया गया","inbox.rightPanel.noThread":"इस आइटम के लिए कोई थ्रेड मौजूद नहीं है","inbox.rightPanel.quickStart.header":"एक टेम्प्लेट से शुरू करें","inbox.untitled":"अनटाइटल्ड इन्बॉक्स आइटम","loadingPage.documentationLink":"डॉक्यूमेंटेशन","loadingPage.errorDescription":"Codex नीचे दिए गए एरर के साथ क्रैश हो गया:","loadingPage.errorDescription.documentation":"Codex एक्सटेंशन को रीस्टार्ट करने के लिए दोबारा लोड करें पर क्लिक करें, या अतिरिक्त मदद के लिए हमारी {documentationLink} पर जाएं.","loadingPage.errorSignal":"कुछ आज़माने लायक बातें:","loadingPage.errorTitle":"एक एरर हो गया है","loadingPage.openConfigToml":"Config.toml खोलें","loadingPage.reload":"दोबारा लोड करें","localConversation.contextCompacted":"कॉन्टेक्स्ट को अपने आप कॉम्पैक्ट किया गया","localConversation.contextCompacting":"अपने आप कॉन्टेक्स् को कॉम्पैक्ट किया जा रहा है","localConversation.finalAssistantMessageDivider":"फ़ाइनल मेसेज","localConversation.forkedFromConversation":"{threadTitle} से फ़ोर्क किया गया","localConversation.merge.autoResolve.failed":"ऑटो रिज़ॉल्व के लिए रिक्वेस्ट नहीं कर पाए: {error}","localConversation.merge.autoResolve.sent":"ऑटो रिज़ॉल्व रिक्वेस्ट भेजी गई","localConversation.merge.autoResolveMerge.missingConversation":"एक एक्टिव बातचीत के बिना ऑटो रिज़ॉल्व नहीं कर पा रहे हैं.","localConversation.merge.autoResolveMerge.request":"मर्ज विवादों को ऑटो रिज़ॉल्व करें","localConversation.modelChanged":"मॉडल {fromModel} से {toModel} में बदल गया.","localConversation.modelChanged.warning.line1":"बातचीत के बीच में मॉडल्स बदलने से परफ़ॉर्मेंस खराब हो जाएगा.","localConversation.modelChanged.warning.line2":"कॉन्टेक्स्ट अपने आप कॉम्पैक्ट हो सकता है.","localConversation.modelRerouted":"आपकी रिक्वेस्ट {toModel} पर भेज दी गई थी.","localConversation.modelRerouted.warning.line1":"ध्यान दें, साइबर-दुरुपयोग के रिस्क को कम करने के लिए आपकी रिक्वेस्ट को रीडायरेक्ट किया गया है.","localConversation.modelRerouted.warning.line2":"क्या आपको लगता है कि यह कोई गलती है? एक रिव्यु के लिए यहाँ रिक्वेस्ट करें<link>chatgpt.com/cyber</link>या /feedback के ज़रिये रिपोर्ट करें","localConversation.moveThread.createBranch.label":"ब्रांच बनाएं","localConversation.moveToLocal.disabled.branchCheckedOut":"यह ब्रांच पहले से ही किसी दूसरी वर्कट्री में चेक आउट हो चुकी है","localConversation.moveToLocal.disabled.loading":"लोड किया जा रहा है...","localConversation.moveToLocal.disabled.missingSourceHead":"वर्क ट्री HEAD कमिट को हल नहीं किया जा सका","localConversation.moveToLocal.disabled.noWorkspace":"इस वर्कट्री के लिए कोई लोकल वर्कस्पेस नहीं मिला","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"अभी आगे नहीं बढ़ पा रहे है. कृपया लोकल वर्कस्पेस की स्टेट चेक करके दोबारा कोशिश करें.","localConversation.moveToLocal.error.rollbackIssues":"रोलबैक मामले: {issues}","localConversation.moveToLocal.label":"लोकल पर मूव करें","localConversation.moveToLocal.loading.subtitle":"आपकी वर्कट्री में किए गए बदलावों को लोकल पर मूव किया जा रहा है…","localConversation.moveToLocal.loading.title":"लोकल पर मूव किया जा रहा है","localConversation.moveToLocal.modal.continue":"जारी रखें","localConversation.moveToLocal.modal.destinationLabel":" यहां मूव करें","localConversation.moveToLocal.modal.retry":"दोबारा कोशिश करें","localConversation.moveToLocal.modal.subtitle":"वर्कट्री की यह ब्रांच और कमिट नहीं किए गए बदलाव आपके लोकल चेकआउट में वापस भेज दिए जाएंगे.","localConversation.moveToLocal.modal.title":"लोकल पर मूव करें","localConversation.moveToWorktree.error.branchRequired":"वर्कट्री ब्रांच का नाम ज़रूरी है","localConversation.moveToWorktree.error.createWorktree":"वर्कट्री नहीं बना पाए: {message}","localConversation.moveToWorktree.error.move":"वर्कट्री में मूव नहीं कर पाए: {message}","localConversation.moveToWorktree.error.prepareBranch":"वर्कट्री ब्रांच  “{branch}” नहीं बना पाए: {message}","localConversation.moveToWorktree.error.rollbackIssues":"रोलबैक मामले: {issues}","localConversation.moveToWorktree.error.unknown":"वर्कट्री में मूव नहीं कर पाए. कृपया दोबारा कोशिश करें.","localConversation.moveToWorktree.label":"वर्कट्री पर मूव करें","localConversation.moveToWorktree.loading.subtitle":"आपकी वर्कट्री को सेट अप की जा रही है और लोकल बदलावों को मूव किया जा रहा है…","localConversation.moveToWorktree.loading.title":"वर्कट्री पर मूव किया जा रहा है","localConversation.moveToWorktree.modal.back":"पीछे जाएँ","localConversation.moveToWorktree.modal.branchAlreadyExists":"ब्रांच पहले से मौजूद है","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ब्रांच पहले से मौजूद है.","localConversation.moveToWorktree.modal.branchesError":"ब्रांच लोड नहीं कर पाए","localConversation.moveToWorktree.modal.branchesLoading":"ब्रांच लोड कीं जा रही हैं...","localConversation.moveToWorktree.modal.branchesRetry":"दोबारा कोशिश करें","localConversation.moveToWorktree.modal.continue":"जारी रखें","localConversation.moveToWorktree.modal.defaultBranchError":"वर्कट्री ब्रांच डिफ़ॉल्ट ब्रांच से अलग होनी चाहिए.","localConversation.moveToWorktree.modal.localBranchLabel":"लोकल ब्रांच","localConversation.moveToWorktree.modal.localBranchPlaceholder":"लोकल चेकआउट ब्रांच चुनें","localConversation.moveToWorktree.modal.noTargetBranch":"कोई दूसरी लोकल ब्रांच उपलब्ध नहीं हैं","localConversation.moveToWorktree.modal.retry":"दोबारा कोशिश करें","localConversation.moveToWorktree.modal.subtitle":"यह ब्रांच और इसमें किए गए सभी कमिट नहीं किए गए बदलाव एक वर्कट्री में मूव कर दिए जाएँगे. आपको इसकी जगह पर लोकल तरीके से एक अलग ब्रांच चेकआउट करनी होगी.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex इस थ्रेड के लिए एक नई वर्कट्री बनाएगा.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"वर्कट्री ब्रांच का एक नाम चुनें. Codex डिफ़ॉल्ट ब्रांच की जगह इसका इस्तेमाल करेगा.","localConversation.moveToWorktree.modal.subtitle.loading":"मौजूदा वर्कट्री खोजी जा रही है…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"इस ब्रांच को वर्कट्री में मूव कर दिया जाएगा. आपकी मौजूदा लोकल ब्रांच चेक आउट ही रहेगी.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex इस थ्रेड के लिए मौजूदा वर्कट्री का दोबारा इस्तेमाल करेगा.","localConversation.moveToWorktree.modal.title":"वर्कट्री पर मूव करें","localConversation.moveToWorktree.modal.trailingSlashError":"ब्रांच के नाम के आखिर में “/” नहीं होना चाहिए.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"वर्कट्री ब्रांच का नाम","localConversation.moveToWorktree.modal.worktreeBranchLabel":"वर्कट्री ब्रांच","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"नई-ब्रांच","localConversation.personalityChanged":"{personality} पर्सनैलिटी पर स्विच किया गया","localConversation.planSummary.collapse":"प्लैन समरी कोलैप्स करें","localConversation.planSummary.collapseTooltip":"कोलैप्स करें","localConversation.planSummary.download":"प्लैन डाउनलोड करें","localConversation.planSummary.expand":"प्लैन समरी एक्सपैंड करें","localConversation.planSummary.expandTooltip":"एक्सपैंड करें","localConversation.planSummary.openInNewWindow":"खोलें","localConversation.planSummary.openInNewWindow.tooltip":"नई विंडो में खोलें","localConversation.planSummary.title":"प्लान","localConversation.planSummary.titleWriting":"राइटिंग प्लैन","localConversation.planSummary.viewPlan":"प्लैन को एक्सपैंड करें","localConversation.previousMessagesSummary":"{count, plural, one {# पिछला मेसेज} other {# पिछले मेसेजेज़}}","localConversation.remoteTaskCreated":"Codex क्लाउड में {taskLink} बनाया गया","localConversation.remoteTaskCreated.task":"टास्क","localConversation.scrollToBottomButton":"नीचे तक स्क्रॉल करें","localConversation.sync.buttonLabel":"लोकल में हैंडऑफ़ करें...","localConversation.sync.buttonLabel.tooltip":"इस वर्कट्री और आपके लोकल चेकआउट के बीच बदलाव भेजें.","localConversation.sync.modal.loading.title":"बदलावों को हैंड ऑफ़ किया जा रहा है...","localConversation.sync.modal.noChanges":"कोई बदलाव नहीं","localConversation.syncSetup.branchAriaLabel":"ब्रांच का नाम","localConversation.syncSetup.branchName":"ब्रांच का नाम","localConversation.syncSetup.branchPlaceholder.existing":"मौजूदा ब्रांच चुनें","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ब्रांच लोड कीं जा रही हैं...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"पहले से ही चेक आउट किया हुआ है","localConversation.syncSetup.checkoutClean":"अभी {branchName} पर है","localConversation.syncSetup.checkoutDirty":"कमिट नहीं किए गए बदलावों के साथ अभी {branchName} पर है","localConversation.syncSetup.checkoutError":"ब्रांच को चेक आउट नहीं किया जा सका: {message}","localConversation.syncSetup.checkoutLabel":"अभी लोकल लेवल पर चेक आउट करें","localConversation.syncSetup.checkoutOnLocal":"लोकल में हैंडऑफ़ करें...","localConversation.syncSetup.checkoutPending":"लोकल स्टेटस चेक किया जा रहा है…","localConversation.syncSetup.checkoutUnavailable":"लोकल वर्कस्पेस उपलब्ध नहीं है","localConversation.syncSetup.checkoutUnknown":"लोकल ब्रांच उपलब्ध नहीं है","localConversation.syncSetup.continue":"जारी रखें","localConversation.syncSetup.createBranchError":"हैंडऑफ़ ब्रांच को सेट नहीं किया जा सका: {message}","localConversation.syncSetup.error":"कुछ गड़बड़ हो गई: {message}","localConversation.syncSetup.error.workingTreeMissing":"वर्कट्री का स्नैपशॉट नहीं लिया जा सका. कृपया हैंडऑफ़ करने की दोबारा कोशिश करें.","localConversation.syncSetup.mode.ariaLabel":"ब्रांच मोड चुनें","localConversation.syncSetup.mode.existing":"मौजूदा ब्रांच","localConversation.syncSetup.mode.new":"नई ब्रांच","localConversation.syncSetup.noBranches":"कोई ब्रांच नहीं मिली","localConversation.syncSetup.overwriteError":"ब्रांच बन गई है लेकिन पूरी तरह से हैंडऑफ़ नहीं की गई है. लोकल लेवल पर चेकआउट करने से पहले इसे मैन्युअल तरीके से हैंडऑफ़ करें.","localConversation.syncSetup.setPrefix":"प्रीफ़िक्स सेट करें","localConversation.syncSetup.subtitle":"वर्कट्री में किए गए बदलावों को लोकल लेवल पर टेस्ट और एडिट करें. <a>और ज़्यादा जानें</a>","localConversation.syncSetup.success.checkedOut":"ब्रांच बनाई गई और लोकल लेवल पर चेक आउट की गई","localConversation.syncSetup.success.notCheckedOut":"ब्रांच बनाई गई","localConversation.syncSetup.title":"एक लोकल ब्रांच को हैंडऑफ़ करें","localConversation.syncWorktreeError.branchAriaLabel":"ब्रांच का नाम","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"हैंड ऑफ़ किए जाने के लिए एक ब्रांच चुनें, फ़िर बदलावों को लोड करने की दोबारा कोशिश करें.","localConversation.syncWorktreeError.branchSetup.title":"ब्रांच अपडेट करें","localConversation.syncWorktreeError.branchUpdate.cta":"अपडेट करके दोबारा कोशिश करें ","localConversation.syncWorktreeError.branchUpdate.error":"ब्रांच को अपडेट नहीं कर पाए: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"कुछ गड़बड़ हो गई: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ब्रांच किसी भी वर्कट्री में चेक आउट नहीं की गई है.","localConversation.syncWorktreeV2.applyUncommitted":"लागू करें","localConversation.syncWorktreeV2.applyUncommitted.disabled":"कमिट नहीं किए गए बदलावों को अप्लाई करने के लिए आपको लोकल लेवल पर ब्रांच को चेक आउट करना होगा.","localConversation.syncWorktreeV2.branches.empty":"कोई ब्रांच नहीं मिली","localConversation.syncWorktreeV2.branches.loading":"ब्रांच लोड कीं जा रही हैं...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"हैंडऑफ़ ब्रांच बदलें","localConversation.syncWorktreeV2.changeBranch.error":"हैंडऑफ़ ब्रांच को बदला नहीं जा सका: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"लागू नहीं कर पाए","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"वर्कट्री को ओवरराइट नहीं कर पाए ","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"लोकल को ओवरराइट नहीं किया जा सका","localConversation.syncWorktreeV2.commandError.back":"पीछे जाएँ","localConversation.syncWorktreeV2.commandError.body":"हैंड ऑफ़ करते समय एक git कमांड फ़ेल हो गया. कृपया आउटपुट को रिव्यु करके दोबारा कोशिश करें.","localConversation.syncWorktreeV2.commandError.retry":"दोबारा कोशिश करें","localConversation.syncWorktreeV2.description":"लोकल और इस वर्कट्री के बीच बदलावों को हैंड ऑफ़ करें <a>और ज़्यादा जानें</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"हैंड ऑफ़ दिशा चुनें","localConversation.syncWorktreeV2.error.generic":"हैंड ऑफ़ के दौरान कुछ गड़बड़ हो गई. दोबारा कोशिश करें.","localConversation.syncWorktreeV2.localBranchLabel":"लोकल","localConversation.syncWorktreeV2.noChanges":"बदलावों को कैलकुलेट किया जा रहा है","localConversation.syncWorktreeV2.noChanges.summary":"कोई बदलाव नहीं","localConversation.syncWorktreeV2.overwrite.local":"लोकल को ओवरराइट करें","localConversation.syncWorktreeV2.overwrite.worktree":"वर्कट्री को ओवरराइट करें","localConversation.syncWorktreeV2.partial.action.applyFailed":"बदलाव लागू नहीं किए जा सके","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"लोकल बदलावों को ओवरराइट नहीं किया जा सका","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"वर्कट्री में किए गए बदलावों को ओवरराइट नहीं किया जा सका","localConversation.syncWorktreeV2.partial.appliedLabel":"अप्लाई किया गया","localConversation.syncWorktreeV2.partial.back":"पीछे जाएँ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"विवादों को हल करें और दोबारा कोशिश करें.","localConversation.syncWorktreeV2.partial.conflictsLabel":"विवाद","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# फ़ाइल} other {# फ़ाइलें}}","localConversation.syncWorktreeV2.partial.retry":"दोबारा कोशिश करें","localConversation.syncWorktreeV2.partial.skippedLabel":"छोड़ा गया","localConversation.syncWorktreeV2.stateFailed.generic":"वर्कट्री में हुए बदलावों को हैंडऑफ़ के लिए निकालते समय कुछ गड़बड़ हो गई. कृपया दोबारा कोशिश करें.","localConversation.syncWorktreeV2.stateFailed.title":"वर्कट्री में किए गए बदलावों को लोड नहीं किया जा सका","localConversation.syncWorktreeV2.statusError.diffUnknown":"वर्कट्री में किए गए बदलावों को लोड नहीं किया जा सका.","localConversation.syncWorktreeV2.statusError.retry":"दोबारा कोशिश करें","localConversation.syncWorktreeV2.statusError.title":"लोकल ब्रांच के बदलावों को लोड नही किया जा सका","localConversation.syncWorktreeV2.statusError.unknown":"ब्रांच स्टेटस अभी उपलब्ध नहीं है. कृपया दोबारा कोशिश करें.","localConversation.syncWorktreeV2.success.apply":"बदलाव सही से अप्लाई किए गए","localConversation.syncWorktreeV2.success.overwrite":"हैंडऑफ़ सही से हो गया","localConversation.syncWorktreeV2.title":"हैंडऑफ़ के बदलाव","localConversation.syncWorktreeV2.worktreeLabel":"वर्कट्री","localConversation.userInputRequest.inProgress":"{count, plural, one {सवाल} other {सवाल}} से पूछा जा रहा है","localConversation.userInputRequest.noAnswer":"कोई जवाब नहीं दिया गया","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"पूछा गया","localConversation.userInputRequest.summary.count":"{count, plural, one {# सवाल} other {# सवाल}}","localConversation.workedFor":"{time} के लिए काम कर गया","localConversation.worktreeBranchSetup.action.create":"बनाएं","localConversation.worktreeBranchSetup.branchAriaLabel":"ब्रांच का नाम","localConversation.worktreeBranchSetup.branchPlaceholder.new":"एक नई ब्रांच बनाएँ","localConversation.worktreeBranchSetup.checkoutDisabled":"यह ब्रांच पहले से ही {location} पर चेक आउट की जा चुकी है","localConversation.worktreeBranchSetup.checkoutError":"ब्रांच को चेक आउट नहीं किया जा सका: {message}","localConversation.worktreeBranchSetup.createBranchError":"ब्रांच को सेट नहीं किया जा सका: {message}","localConversation.worktreeBranchSetup.error":"कुछ गड़बड़ हो गई: {message}","localConversation.worktreeBranchSetup.subtitle":"इस वर्कट्री से बदलावों को कमिट करने, पुश करने और एक PR बनाने के लिए एक ब्रांच बनाएँ. <a>और ज़्यादा जानें</a>","localConversation.worktreeBranchSetup.title":"यहाँ काम करो","localConversationPage.addWorktreeToSidebar.tooltip":"इसे एक प्रोजेक्ट के तौर पर सेव करें ताकि आप इस वर्कट्री से नए थ्रेड शुरू कर सकें","localConversationPage.addWorktreeToSidebarError":"प्रोजेक्ट को नहीं जोड़ा जा सका","localConversationPage.commitAndCreatePrModal.errorTitle":"कमिट नहीं किया जा सका और PR नहीं बन पाया","localConversationPage.commitAndCreatePrModal.successTitle":"कमिट किया गया और PR बन गया","localConversationPage.commitAndPushModal.errorTitle":"कमिट और पुश नहीं किया जा सका","localConversationPage.commitAndPushModal.successTitle":"बदलाव कमिट करके पुश किए गए","localConversationPage.commitCreatePr.open":"पुल रिक्‍वेस्‍ट खोलें","localConversationPage.commitCreatePr.successTitle":"आपके लेटेस्ट बदलावों के साथ PR बनाया गया","localConversationPage.createBranchButtonLabel":"यहाँ ब्रांच करें","localConversationPage.createPrModal.baseBranch":"बेस","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR बनाएं","localConversationPage.createPrModal.createDescription":"अपने लेटेस्ट बदलावों के लिए एक पुल रिक्वेस्ट खोलें.","localConversationPage.createPrModal.errorTitle":"पुल रिक्वेस्ट नहीं हो पाई","localConversationPage.createPrModal.headBranch":"हेड","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR खोलें","localConversationPage.createPrModal.successTitle":"पुल रिक्वेस्ट बनाई गई","localConversationPage.createPrModal.title":"पुल रिक्वेस्ट बनाएं","localConversationPage.createPrModal.viewDescription":"इस ब्रांच के लिए पहले से ही एक पुल रिक्वेस्ट मौजूद है.","localConversationPage.createPrModal.viewTitle":"पुल रिक्वेस्ट तैयार है","localConversationPage.createPullRequestAuthGh":"GitHub CLI को ऑथेंटिकेट करें: `gh auth login` कमांड रन करें","localConversationPage.createPullRequestBranchMissing":"ब्रांच की जानकारी उपलब्ध नहीं है","localConversationPage.createPullRequestButtonLabel":"PR बनाएं","localConversationPage.createPullRequestButtonLabel.loading":"PR बनाया जा रहा है...","localConversationPage.createPullRequestDefaultBranchMissing":"ब्रांच की डिफ़ॉल्ट जानकारी उपलब्ध नहीं है","localConversationPage.createPullRequestError":"पुल रिक्वेस्ट नहीं बन पाया","localConversationPage.createPullRequestExistingPullRequest":"इस ब्रांच के लिए पहले से ही एक पुल रिक्वेस्ट मौजूद है","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI स्टेटस लोड किया जा रहा है…","localConversationPage.createPullRequestInstallGh":"PRs बनाने के लिए GitHub CLI (gh) इंस्टॉल करें.","localConversationPage.createPullRequestNoRepo":"कोई गिट रिपॉज़िटरी नहीं मिली","localConversationPage.createPullRequestPushStatusMissing":"पुश स्टेटस लोड किया जा रहा है…","localConversationPage.createPullRequestSetUpstream":"एक PR बनाने से पहले इस ब्रांच को पुश करें","localConversationPage.createPullRequestSuccessToast":"पुल रिक्वेस्ट बनाई गई","localConversationPage.createPullRequestSwitchBranch":"एक PR बनाने से पहले एक फ़ीचर ब्रांच चेकआउट करें","localConversationPage.error.render":"लोकल बातचीत रेंडर करने में एरर","localConversationPage.error.toast":"बातचीत नहीं मिली","localConversationPage.forcePushError":"फ़ोर्स पुश नहीं हो पाया","localConversationPage.generatePullRequestMessageError":"पुल रिक्वेस्ट का टाइटल और बॉडी जेनरेट नहीं कर पाए","localConversationPage.generatePullRequestMessageFailed":"पुल रिक्वेस्ट का टाइटल और बॉडी जेनरेट नहीं कर पाए.","localConversationPage.gitActionResult.branch":"ब्रांच","localConversationPage.gitActionResult.cancel":"कैंसल करें","localConversationPage.gitActionResult.close":"बंद करें","localConversationPage.gitActionResult.tryAgain":"दोबारा कोशिश करें","localConversationPage.gitActions":"गिट एक्शन्स","localConversationPage.newChat":"नया चैट","localConversationPage.openInTarget":"इसमें खोलें","localConversationPage.openPrimaryTarget":"खोलें","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# टास्क पूरे हुए} other {# टास्क पूरे हुए}} में से {completedItems}","localConversationPage.pushAuthError":"पुश फ़ेल हो गया: ऑथेंटिकेशन ज़रूरी है","localConversationPage.pushBranchMissing":"ब्रांच की जानकारी उपलब्ध नहीं है","localConversationPage.pushButtonLabel":"पुश करें","localConversationPage.pushButtonLabel.loading":"पुश किया जा रहा है..","localConversationPage.pushError":"बदलाव लागू नहीं हो सके","localConversationPage.pushModal.branchLabel":"ब्रांच","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"कैंसल करें","localConversationPage.pushModal.confirm":"पुश करें","localConversationPage.pushModal.description":"अपने लेटेस्ट कमिट्स को रिमोट रिपॉज़िटरी में पुश करें.","localConversationPage.pushModal.errorTitle":"पुश नहीं हो पाया","localConversationPage.pushModal.forcePush":"फ़ोर्स पुश","localConversationPage.pushModal.successTitle":"पुश पूरा हुआ","localConversationPage.pushModal.title":"बदलावों को पुश करें","localConversationPage.pushModal.tryAgain":"दोबारा कोशिश करें","localConversationPage.pushNoUpstream":"इस ब्रांच को पुश करने से पहले एक अपस्ट्रीम सेट करें","localConversationPage.pushNoUpstreamError":"पुश फ़ेल हो गया: कोई अपस्ट्रीम कॉन्फ़िगर नहीं की हुई है","localConversationPage.pushNothingToPush":"पुश करने के लिए कोई नए कमिट्स नहीं है","localConversationPage.pushRemoteChangedError":"पुश फ़ेल हो गया: रिमोट में नए कमिट्स हैं","localConversationPage.pushRemoteRejectedError":"रिमोट द्वारा पुश नामंज़ूर किया गया","localConversationPage.pushStatusMissing":"पुश स्टेटस लोड किया जा रहा है…","localConversationPage.pushSuccessToast":"पुश किए गए बदलाव","localConversationPage.viewPullRequestButtonLabel":"PR देखें","localConversationPage.viewPullRequestButtonLabel.loading":"पुल रिक्वेस्ट लोड की जा रही है…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# फ़ाइल} other {# फ़ाइलें}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# लिस्ट} other {# लिस्ट}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# सर्च} other {# सर्च}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"एक्सप्लोर किया जा रहा है","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"एक्सप्लोर किया गया","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} को एक्सप्लोर किया गया","localConversationTurnStory.showContent":"कंटेंट दिखाएँ","localConversationTurnStory.streamContent":"स्ट्रीम कंटेंट","localConversationTurnStory.toggleReasoning":"रीज़निंग दिखाएँ","localTaskRow.archiveError":"बातचीत को आर्काइव नहीं कर पाए","localTaskRow.resumeError":"टास्क को दोबारा शुरू नहीं कर पाए","mermaidDiagram.ariaLabel":"Mermaid डायग्राम","mermaidDiagram.copySource":"मर्मेड कॉपी करें","mermaidDiagram.originalCode":"Mermaid सोर्स कोड","notifications.permissions.description":"जब नोटिफ़िकेशन्स की परमिशन्स ज़रूरी हो, तब अलर्ट्स दिखाएं","notifications.permissions.label":"परमिशन नोटिफ़िकेशन्स इनेबल करें","notifications.turnMode.always":"हमेशा","notifications.turnMode.description":"सेट करें कि टास्क पूरा होने पर Codex आपको कब अलर्ट करे","notifications.turnMode.label":"कम्पलीशन  नोटिफ़िकेशन्स चालू करें","notifications.turnMode.off":"कभी नहीं","notifications.turnMode.unfocused":"सिर्फ़ तभी जब फ़ोकस न हो","patchApprovalRequest.approve":"अनुमोदन करें","patchApprovalRequest.menu.allowAlways":"जी हां, और इस सेशन में दोबारा मत पूछना","patchApprovalRequest.menu.allowForSession":"जी हां, और इस सेशन में दोबारा मत पूछना","patchApprovalRequest.menu.allowOnce":"हाँ","patchApprovalRequest.prompt":"क्या आप ये बदलाव करना चाहते हैं?","patchApprovalRequest.reject":"नहीं","patchApprovalRequest.waitingForApproval":"फ़ाइलों को एडिट करने के लिए अप्रूवल का इंतज़ार किया जा रहा है","pendingRequest.approvalExec.collapse":"कोलैप्स करें","pendingRequest.approvalExec.expand":"एक्सपैंड करें","pendingRequestStory.toastAnswer":"जवाब: {answer}","pendingRequestStory.toastApprovalTitle":"अप्रूवल जवाब","pendingRequestStory.toastFollowupPrompt":"प्रॉम्प्ट: {prompt}","pendingRequestStory.toastFollowupTitle":"फ़ॉलो अप भेजा गया","pendingRequestStory.toastNoAnswers":"कोई जवाब नहीं दिए गए","pendingRequestStory.toastQuestion":"सवाल: {question}","pendingRequestStory.toastUnknownDecision":"अनजान","pendingRequestStory.toastUserInputTitle":"सबमिट किए गए बदलाव","quickAction.request.codeReview.branches.new":"'कृपया {from} पर {to} के साथ बदलावों को रिव्यू करें","quickAction.request.codeReview.uncommitted.new":"मेरे जो बदलाव सेव नहीं हुए कृपया उन्हें देखें","reasoningItem.thinking":"सोच रहा है","reasoningItem.thought":"विचार","reasoningItem.thoughtWithElapsed":"{elapsed} के लिए विचार","recentConversations.title":"हालिया बातचीतें","recentTasks.worktreeInitFailedTitle":"वर्कट्री इनिशियलाइज़ नहीं हो सकी","recentTasks.worktreeSettingUpTitle":"वर्कट्री सेट अप करना","requestInputPanel.continue":"जारी रखें","requestInputPanel.dismiss":"हटा दें","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"यहां टाइप करें","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"नहीं, और Codex को बताएं कि उसे क्या अलग करना है","requestInputPanel.selectedBadge":"चुना गया","requestInputPanel.skip":"छोड़ें","requestInputPanel.submit":"सबमिट करें","review.commit.ariaLabel.includeUnstaged":"अनस्टेज किए गए शामिल करें","review.commit.buttonLabel":"कमिट","review.commit.disabled.committing":"कमिट किया जा रहा है…","review.commit.disabled.loadingDiff":"डिफ़ लोड किया जा रहा है...","review.commit.disabled.missingContext":"एक कमिट मेसेज जेनरेट करने के लिए कुछ कॉन्टेक्स्ट जोड़ें","review.commit.disabled.noChanges":"कमिट करने के लिए कोई बदलाव नहीं हैं","review.commit.disabled.noSelection":"कमिट करने के लिए बदलाव चुनें","review.commit.disabled.unavailable":"कमिट अभी उपलब्ध नहीं है","review.commit.error":"बदलावों को सेव नहीं किया जा सका","review.commit.form.changesToBeCommitted":"बदलाव","review.commit.form.commitTo":"ब्रांच","review.commit.form.commitTo.none":"-","review.commit.form.continue":"जारी रखें","review.commit.form.title":"अपने बदलाव कमिट करें","review.commit.generate.emptyResponse":"एक कमिट मेसेज जेनरेट नहीं कर पाए.","review.commit.generate.failed":"कमिट मेसेज जेनरेट नहीं कर पाए: {error}","review.commit.generate.missingPrompt":"एक कमिट मेसेज बनाने के लिए कुछ कॉन्टेक्स्ट डालें.","review.commit.includeUnstaged":"अनस्टेज किए गए शामिल करें","review.commit.loading.description":"धैर्य रखें, इसमें थोड़ा समय लग सकता है…","review.commit.loading.step.commit.done":"कमिट नहीं किए गए बदलाव","review.commit.loading.step.commit.pending":"बदलावों को कमिट किया जा रहा है","review.commit.loading.step.createPr.done":"एक पुल रिक्वेस्ट बनाई गई","review.commit.loading.step.createPr.pending":"एक पुल रिक्वेस्ट बनाई जा रही है","review.commit.loading.step.push.done":"ब्रांच {branch} में पुश किया गया","review.commit.loading.step.push.pending":"ब्रांच {branch} में पुश किया जा रहा है","review.commit.loading.title.commit":"बदलावों को कमिट किया जा रहा है","review.commit.loading.title.createPr":"एक PR बनाया जा रहा है","review.commit.loading.title.push":"बदलावों को पुश किया जा रहा है","review.commit.messageLabel":"कमिट मेसेज","review.commit.messagePlaceholder":"कमिट मेसेज ऑटो जेनरेट करने के लिए खाली छोड़ दें","review.commit.nextSteps":"अगले स्टेप्स","review.commit.nextSteps.commit":"कमिट","review.commit.nextSteps.commitAndCreate":"कमिट करके PR बनाएं","review.commit.nextSteps.commitAndPush":"कमिट करके पुश करें","review.commit.nextSteps.prRequiresGh":"GitHub CLI ज़रूरी है: {command}","review.commit.rows.changes":"बदलाव","review.commit.rows.commitCount":"{count, plural, one {# कमिट} other {# कमिट्स}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# कमिट} other {# कमिट्स}} और {stats}","review.commit.rows.fileCount":"{count, plural, one {# फ़ाइल} other {# फ़ाइलें}}","review.commit.state.error.body":"कमिट करते समय कुछ गड़बड़ हो गई. कृपया अपना गिट स्टेटस चेक करें और दोबारा कोशिश करें.","review.commit.state.error.title":"कमिट नहीं हो पाया","review.commit.state.success.title":"बदलाव कमिट किए गए","review.commit.untracked.loadingStats":"ट्रैक नहीं किए गए डिफ़ आंकड़े लोड किए जा रहे हैं…","reviewFindingAttachments.count":"{count, plural, one {# नतीजा} other {# नतीजे}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"एजेंट बिहेवियर को कस्टमाइज़ करने के लिए अपना कॉन्फ़िगरेशन एडिट करें","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"बदलावों को लागू करने के लिए एडिट करने के बाद Codex को रीस्टार्ट करें.","settings.agent.configuration.subtitle":"ये सेटिंग्स उन सभी जगहों पर लागू होती हैं जहां Codex का इस्तेमाल किया जाता है.","settings.automations.banner.danger":"ऑटोमेशन्स आपकी डिफ़ॉल्ट सैंडबॉक्स सेटिंग्स के साथ रन करते हैं, जो अभी पूरी एक्सेस पर सेट हैं. पूरी एक्सेस के साथ बैकग्राउंड ऑटोमेशन्स रन करने में ज्यादा रिस्क होता है, क्योंकि Codex बिना पूछे फ़ाइलों को बदल सकता है, कमांड्स रन कर सकता है और नेटवर्क को एक्सेस कर सकता है. सैंडबॉक्स सेटिंग्स को वर्कस्पेस राइट में अपडेट करने और <rulesDocsLink>नियमों</rulesDocsLink> का इस्तेमाल करके यह डिफ़ाइन करने के बारे में सोचें कि एजेंट किन कमांड्स को पूरी एक्सेस के साथ रन कर सकता है.","settings.automations.banner.defaultHowTo.default":"ऑटोमेशन्स आपकी डिफ़ॉल्ट सैंडबॉक्स सेटिंग्स के साथ रन करते हैं. अगर टूल कॉल्स के लिए वर्कस्पेस के बाहर फ़ाइलों में बदलाव करने, नेटवर्क को एक्सेस करने या आपके कंप्यूटर पर ऐप्स के साथ काम करने की ज़रुरत पड़ती है, तो वे फ़ेल हो जाएंगे. आप <rulesDocsLink>नियमों</rulesDocsLink> का इस्तेमाल करके सैंडबॉक्स के बाहर चुनिंदा कमांड्स रन करने की अनुमति दे सकते हैं.","settings.automations.banner.defaultHowTo.readOnly":"ऑटोमेशन्स आपकी डिफ़ॉल्ट सैंडबॉक्स सेटिंग्स के साथ रन करते हैं, जो रीड-ओनली पर सेट किए हुए होते हैं. अगर टूल कॉल्स के लिए वर्कस्पेस के बाहर फ़ाइलों में बदलाव करने, नेटवर्क को एक्सेस करने या आपके कंप्यूटर पर ऐप्स के साथ काम करने की ज़रुरत पड़ती है, तो वे फ़ेल हो जाएंगे. सैंडबॉक्स सेटिंग्स को वर्कस्पेस राइट में अपडेट करने के बारे में सोचें.","settings.automations.cancel":"कैंसल करें","settings.automations.create":"बनाएँ","settings.automations.cwdEmpty":"कोई प्रोजेक्ट फ़ोल्डर उपलब्ध नहीं हैं","settings.automations.cwdLabel":"प्रोजेक्ट्स","settings.automations.cwdPlaceholder":"एक फ़ोल्डर चुनें","settings.automations.cwdSubtitle":"अगर आप किसी ख़ास ब्रांच पर एक ऑटोमेशन रन करना चाहते हैं, तो आप इसे अपने प्रॉम्प्ट में बता सकते हैं.","settings.automations.delete":"डिलीट करें","settings.automations.dialog.editTitle":"ऑटोमेशन एडिट करें","settings.automations.dialog.newTitle":"नया ऑटोमेशन","settings.automations.dialog.subtitle":"दोहराने वाली टास्क को बैकग्राउंड में ऑटोमेट करें. Codex नतीजों को इन्बॉक्स में जोड़ता है, या अगर रिपोर्ट करने के लिए कुछ नहीं है तो टास्क को अपने आप आर्काइव कर देता है. <learnMoreLink>और ज़्यादा जानें</learnMoreLink>","settings.automations.dialog.title":"ऑटोमेशन बनाएं","settings.automations.executionCopy.git":"Git प्रोजेक्ट्स समर्पित बैकग्राउंड वर्कट्री में रन करते हैं.","settings.automations.executionCopy.local":"ऑटोमेशन्स चुनी गई प्रोजेक्ट डायरेक्टरीज़ में सीधे रन करते हैं.","settings.automations.executionCopy.nonGit":"नॉन-वर्ज़न-कंट्रोल्ड प्रोजेक्ट्स लोकल तरीके से रन करते हैं क्योंकि वर्कट्री को Git की ज़रुरत होती है.","settings.automations.executionEnvironment.ariaLabel":"एक्सीक्यूशन एन्वायर्नमेंट","settings.automations.executionEnvironment.label":"एक्सीक्यूशन एन्वायर्नमेंट","settings.automations.executionEnvironment.local":"लोकल","settings.automations.executionEnvironment.local.help":"यह एक वर्कट्री बनाए बिना सीधे चुनी गई प्रोजेक्ट डायरेक्टरी में रन करता है.","settings.automations.executionEnvironment.worktree":"वर्कट्री","settings.automations.executionEnvironment.worktree.help":"यह चुने गए प्रोजेक्ट से बनाई गई एक समर्पित Git वर्कट्री में रन करता है, जिससे आपका मौजूदा चेकआउट सुरक्षित रहता है.","settings.automations.loading":"लोड किया जा रहा है...","settings.automations.nameLabel":"नाम","settings.automations.namePlaceholder":"सेंट्री से जुड़ी समस्याएं चेक करें","settings.automations.pause":"रोकें","settings.automations.promptLabel":"प्रॉम्प्ट","settings.automations.promptPlaceholder":"$Sentry के क्रैश होने की तलाश करें","settings.automations.resume":"दोबारा चालू करें","settings.automations.rruleSummaryFallback":"कस्टम शेड्यूल","settings.automations.runNow":"टेस्ट","settings.automations.save":"सेव करें","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"कामकाजी दिन","settings.automations.scheduleBadge.weekends":"वीकेंड्स","settings.automations.scheduleHeader":"शेड्यूल करें","settings.automations.scheduleHours":"घंटे","settings.automations.scheduleLabel":"इतने समय में हर बार रन करें","settings.automations.scheduleMode.daily":"रोज़","settings.automations.scheduleMode.interval":"इंटरवेल","settings.automations.scheduleModeLabel":"शेड्यूल टाइप","settings.automations.scheduleSummary.daily":"रोज़ {time} को","settings.automations.scheduleSummary.interval":"हर {count}h में","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# दिन} other {# दिन}}","settings.automations.scheduleSummary.intervalDays":"{days} पर {interval}","settings.automations.scheduleSummary.intervalHourly":"प्रति घंटा","settings.automations.scheduleSummary.singleDay":"{time} पर {day}","settings.automations.scheduleSummary.weekdays":"कामकाजी दिनों में {time} पर","settings.automations.scheduleSummary.weekdaysLabel":"कामकाजी दिन","settings.automations.scheduleSummary.weekends":"वीकेंड्स में {time} पर","settings.automations.scheduleSummary.weekendsLabel":"वीकेंड्स","settings.automations.scheduleSummary.weekly":"{time} पर {days}","settings.automations.scheduleWeekdays":"चालू","settings.automations.weekdayState.excluded":"शामिल नहीं","settings.automations.weekdayState.included":"शामिल","settings.conversationDetail.steps":"स्टेप्स","settings.conversationDetail.steps.description":"कमांड्स और आउटपुट्स छिपाएं","settings.conversationDetail.stepsWithCommands":"कोड कमांड्स के साथ स्टेप्स","settings.conversationDetail.stepsWithCommands.description":"कमांड दिखाएँ, आउटपुट को कोलैप्स करें","settings.conversationDetail.stepsWithOutput":"कोड आउटपुट के साथ स्टेप्स","settings.conversationDetail.stepsWithOutput.description":"कमांड्स दिखाएं और आउटपुट को एक्स्पैंड करें","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"कोई आर्काइव की हुई चैट्स नहीं.","settings.dataControls.archivedChats.error":"आर्काइव की गई चैट्स लोड नहीं हो सकीं.","settings.dataControls.archivedChats.loading":"आर्काइव की गई चैट लोड हो रही हैं…","settings.dataControls.archivedChats.unarchive":"अनआर्काइव करें","settings.dataControls.archivedChats.unarchiveError":"चैट को अनआर्काइव नहीं कर पाए","settings.dataControls.archivedChats.unarchiveSuccess":"अनआर्काइव किया गया थ्रेड. <viewNowLink>अभी देखें</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"आर्काइव नहीं किया हुआ थ्रेड.","settings.dataControls.archivedChats.untitled":"अनटाइटल्ड चैट","settings.dataControls.archivedChats.viewNow":"अभी देखें","settings.editRow.headerPlaceholder":"की","settings.editRow.removeEntry":"एंट्री हटाएं","settings.editRow.valuePlaceholder":"वैल्यू","settings.general.appearance":"दिखावट","settings.general.appearance.codeFont":"कोड फ़ॉन्ट","settings.general.appearance.codeFont.description":"चैट्स और डिफ़्स में कोड के लिए इस्तेमाल किए जाने वाले फ़ॉन्ट और साइज़ को एडजस्ट करें","settings.general.appearance.codeFontFamily":"कोड फ़ॉन्ट फ़ैमिली","settings.general.appearance.codeFontSize":"कोड फ़ॉन्ट साइज़","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"विंडोज़ को सिस्टम ट्रांसलूसेंसी के बजाय एक सॉलिड बैकग्राउंड का इस्तेमाल करने दें","settings.general.appearance.opaqueWindows.label":"अपारदर्शी विंडो बैकग्राउंड का इस्तेमाल करें","settings.general.appearance.sansFontFamily":"Sans फ़ॉन्ट फ़ैमिली","settings.general.appearance.sansFontFamily.description":"Codex UI के लिए इस्तेमाल किए जाने वाले फ़ॉन्ट को एडजस्ट करें","settings.general.appearance.sansFontSize":"बिना फ़ॉन्ट साइज़ के","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark के पहले टर्न के रन के दौरान फ़ुल-विंडो सेलिब्रेशन इफ़ेक्ट्स दिखाएँ","settings.general.appearance.sparkCelebrationEffects.label":"Spark सेलिब्रेशन इफ़ेक्ट्स","settings.general.appearance.theme":"थीम","settings.general.appearance.theme.dark":"गहरा","settings.general.appearance.theme.description":"हल्का, गहरा इस्तेमाल करें, या अपने सिस्टम से मैच करें","settings.general.appearance.theme.light":"लाइट","settings.general.appearance.theme.system":"सिस्टम","settings.general.appearance.usePointerCursors.description":"इंटरैक्टिव एलिमेंट्स पर माउस को हॉवर करते समय कर्सर को पॉइंटर में बदलें","settings.general.appearance.usePointerCursors.label":"पॉइंटर कर्सर का इस्तेमाल करें","settings.general.enterBehavior.description":"इनेबल किए जाने पर, मल्टीलाइन प्रॉम्प्ट्स भेजने के लिए {modifierSymbol} + एंटर दबाना ज़रूरी होता है.","settings.general.enterBehavior.label":"लंबे प्रॉम्प्ट्स भेजने के लिए {modifierSymbol} + एंटर दबाएं","settings.general.experimentalFeatures":"एक्सपेरिमेंटल फ़ीचर्स (बीटा)","settings.general.experimentalFeatures.empty":"कोई बीटा एक्सपेरिमेंटल फ़ीचर्स उपलब्ध नहीं हैं.","settings.general.experimentalFeatures.loading":"एक्सपेरिमेंटल फ़ीचर्स लोड किए जा रहे हैं...","settings.general.experimentalFeatures.restartNote":"एक्सपेरिमेंटल फ़ीचर के बदलावों को अप्लाई करने के लिए Codex को रीस्टार्ट करें","settings.general.experimentalFeatures.toggle":"{featureName} पर टॉगल करें","settings.general.followUpQueueMode.description":"Codex के रन होने के दौरान फ़ॉलो-अप एक्शन्स को कतार में रखें या अभी के रन को कंट्रोल करें. किसी एक मेसेज के लिए इसका उल्टा करने के लिए {invertFollowUpShortcutLabel} दबाएँ.","settings.general.followUpQueueMode.interrupt":"स्टीयर करें","settings.general.followUpQueueMode.label":"फ़ॉलो-अप बिहेवियर","settings.general.followUpQueueMode.queue":"कतार","settings.general.notifications":"नोटिफ़िकेशन्स","settings.general.power.preventSleepWhileRunning.description":"जब Codex कोई थ्रेड रन कर रहा हो तो अपने कंप्यूटर को चालू रखें.","settings.general.power.preventSleepWhileRunning.label":"रन करते समय स्लीप में न रखें","settings.git.branchPrefix.ariaLabel":"ब्रांच प्रीफ़िक्स","settings.git.branchPrefix.description":"Codex में नई ब्रांच बनाते समय इस्तेमाल किया गया प्रीफ़िक्स","settings.git.branchPrefix.label":"ब्रांच प्रीफ़िक्स","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"ब्रांच प्रीफ़िक्स को सेव नहीं किया जा सका","settings.git.branchPrefix.save.success":"सेव किया गया ब्रांच प्रीफ़िक्स","settings.git.commitInstructions.ariaLabel":"कमिट इंस्ट्रक्शन्स","settings.git.commitInstructions.description":"कमिट मेसेज जेनरेशन प्रॉम्प्ट्स में जोड़ा गया","settings.git.commitInstructions.label":"कमिट इंस्ट्रक्शन्स","settings.git.commitInstructions.placeholder":"कमिट मेसेज के लिए गाइडेंस जोड़ें...","settings.git.commitInstructions.save":"सेव करें","settings.git.commitInstructions.save.error":"कमिट इंस्ट्रक्शन्स सेव नहीं कर पाए","settings.git.commitInstructions.save.success":"कमिट इंस्ट्रक्शन्स सेव किए गए","settings.git.forcePush.ariaLabel":"हमेशा फ़ोर्स पुश करें","settings.git.forcePush.description":"Codex से पुश करते समय --force-with-lease का इस्तेमाल करें","settings.git.forcePush.label":"हमेशा फ़ोर्स पुश करें","settings.git.forcePush.save.disabled":"हमेशा फ़ोर्स पुश करें को डिसेबल किया गया","settings.git.forcePush.save.enabled":"हमेशा फ़ोर्स पुश करें को इनेबल किया गया","settings.git.forcePush.save.error":"फ़ोर्स पुश सेटिंग को सेव नहीं किया जा सका","settings.git.prInstructions.ariaLabel":"पुल रिक्वेस्ट इंस्ट्रक्शन्स","settings.git.prInstructions.description":"Codex द्वारा बनाई गई पुल रिक्वेस्ट बॉडी में जोड़ा गया","settings.git.prInstructions.label":"पुल रिक्वेस्ट इंस्ट्रक्शन्स","settings.git.prInstructions.placeholder":"पुल रिक्वेस्ट गाइडेंस जोड़ें...","settings.git.prInstructions.save":"सेव करें","settings.git.prInstructions.save.error":"पुल रिक्वेस्ट इंस्ट्रक्शन्स सेव नहीं कर पाए","settings.git.prInstructions.save.success":"पुल रिक्वेस्ट इंस्ट्रक्शन्स सेव किए गए","settings.ide.defaultOpenTarget.description":"जहां फ़ाइलें और फ़ोल्डर्स डिफ़ॉल्ट तरीके से खुलते हैं","settings.ide.defaultOpenTarget.label":"डिफ़ॉल्ट ओपन डेस्टिनेशन","settings.ide.defaultOpenTarget.placeholder":"कोई टार्गेट्स नहीं मिले","settings.ide.language.auto":"ऑटो-डिटेक्ट","settings.ide.language.autoOption":"ऑटो-डिटेक्ट","settings.ide.language.description":"ऐप UI के लिए भाषा","settings.ide.language.label":"भाषा","settings.ide.language.search":"भाषाएं सर्च करें","settings.layout.actionButton":"एक्सटेंशन को रीस्टार्ट करें","settings.layout.actionTitle":"एक्शन के साथ सेटिंग्स","settings.layout.fullWidthTitle":"सेटिंग्स (पूरी चौड़ाई)","settings.layout.title":"सेटिंग्स","settings.localEnvironments.actions.add":"एक्शन जोड़ें","settings.localEnvironments.actions.add.description":"टूलबार से रन करने के लिए एक नया कमांड बनाएं.","settings.localEnvironments.actions.add.save":"सेव करें","settings.localEnvironments.actions.empty":"लोकल टूलबार से कमांड्स रन करने के लिए एक एक्शन जोड़ें.","settings.localEnvironments.actions.icon.debug":"डीबग करें","settings.localEnvironments.actions.icon.run":"रन करें","settings.localEnvironments.actions.icon.test":"टेस्ट","settings.localEnvironments.actions.icon.tool":"टूल","settings.localEnvironments.actions.item.button.delete":"डिलीट करें","settings.localEnvironments.actions.item.command":"एक्शन स्क्रिप्ट","settings.localEnvironments.actions.item.name":"नाम","settings.localEnvironments.actions.item.platforms":"प्लैटफ़ॉर्म","settings.localEnvironments.actions.item.platforms.help":"सिर्फ़ एक खास OS पर ही चलता है.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"प्लैटफ़ॉर्म सिलेक्शन","settings.localEnvironments.actions.item.platforms.specific":"ख़ास प्लैटफ़ॉर्म के लिए","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"डिलीट करें","settings.localEnvironments.actions.title":"एक्शन्स","settings.localEnvironments.breadcrumb.back":"पीछे जाएँ","settings.localEnvironments.breadcrumb.edit":"बदलें","settings.localEnvironments.breadcrumb.root":"एन्वायर्नमेंट्स","settings.localEnvironments.environment.actions.description":"ये एक्शन्स कोई भी कमांड रन कर सकते हैं और हेडर में दिखाए जाएंगे.","settings.localEnvironments.environment.actionsLabel":"एक्शन्स","settings.localEnvironments.environment.create":"लोकल एन्वायर्नमेंट्स बनाएं","settings.localEnvironments.environment.defaultName":"लोकल","settings.localEnvironments.environment.edit":"लोकल एन्वायर्नमेंट्स बदलें","settings.localEnvironments.environment.empty":"इस प्रोजेक्ट के लिए अभी तक कोई लोकल एन्वायर्नमेंट कॉन्फ़िगर नहीं किया गया है.","settings.localEnvironments.environment.name":"नाम","settings.localEnvironments.environment.setup":"सेटअप स्क्रिप्ट","settings.localEnvironments.environment.setup.description":"ये स्क्रिप्ट वर्कट्री बन जाने पर रन करेगी.","settings.localEnvironments.environment.setup.hint":"यह प्रोजेक्ट रूट में रन करता है.","settings.localEnvironments.environment.setup.platformOverrides":"प्लैटफ़ॉर्म ओवरराइड्स","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} सेटअप स्क्रिप्ट जोड़ें","settings.localEnvironments.environment.setup.platformOverrides.description":"ये ख़ास OSes के लिए डिफ़ॉल्ट स्क्रिप्ट को ओवरराइड करता है.","settings.localEnvironments.environment.setup.platformOverrides.remove":"हटाएं","settings.localEnvironments.environment.setup.script":"स्क्रिप्ट","settings.localEnvironments.environment.title":"एन्वायर्नमेंट की जानकारी","settings.localEnvironments.file.missing":"इस फ़ाइल को पहली बार बनाने के लिए सेव करें.","settings.localEnvironments.file.parseError":"मौजूदा फ़ाइल को पार्स नहीं किया जा सका. सेव करने पर ये ओवरराइट हो जाएगी. ({error})","settings.localEnvironments.file.path":"फ़ाइल: {path}","settings.localEnvironments.file.readError":"लोकल एन्वायर्नमेंट डेटा लोड नहीं किया जा सका. ({error})","settings.localEnvironments.file.title":"लोकल एन्वायर्नमेंट फ़ाइल","settings.localEnvironments.loading.body":"आपका प्रोजेक्ट कॉन्फ़िगरेशन निकाला जा रहा है.","settings.localEnvironments.loading.title":"लोकल एन्वायर्नमेंट्स लोड किए जा रहे हैं","settings.localEnvironments.preview.devOnly":"(सिर्फ़ डेवलपर)","settings.localEnvironments.preview.save":"सेव करें","settings.localEnvironments.preview.saveError":"फ़ाइल सेव नहीं कर पाए. ({error})","settings.localEnvironments.preview.title":"प्रीव्यू देखें","settings.localEnvironments.save.disabled.name":"सेव करने के लिए एक एन्वायर्नमेंट का नाम जोड़ें.","settings.localEnvironments.save.disabled.noChanges":"सेव करने के लिए कोई बदलाव नहीं हैं.","settings.localEnvironments.save.disabled.saving":"सेव किया जा रहा है...","settings.localEnvironments.save.success":"लोकल एन्वायर्नमेंट सेव किया गया","settings.localEnvironments.unavailable.body":"हम इस प्रोजेक्ट के लिए लोकल एन्वायर्नमेंट सेटिंग्स लोड नहीं कर पाए.","settings.localEnvironments.unavailable.title":"लोकल एन्वायर्नमेंट्स उपलब्ध नहीं हैं","settings.localEnvironments.workspace.add":"प्रोजेक्ट डालें","settings.localEnvironments.workspace.title":"प्रोजेक्ट","settings.localEnvironments.workspaceSelect.addLabel":"एन्वायर्नमेंट जोड़ें","settings.localEnvironments.workspaceSelect.description":"लोकल एन्वायर्नमेंट्स Codex को ये बताता है कि एक प्रोजेक्ट के लिए वर्कट्रीज़ कैसे सेट अप की जाए. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"अभी तक कोई प्रोजेक्ट नहीं हैं. लोकल एन्वायर्नमेंट्स को कॉन्फ़िगर करने के लिए एक प्रोजेक्ट जोड़ें.","settings.localEnvironments.workspaceSelect.errorLabel":"एन्वायर्नमेंट पर ध्यान देने की ज़रूरत है","settings.localEnvironments.workspaceSelect.learnMore":"और ज़्यादा जानें","settings.localEnvironments.workspaceSelect.listLabel":"उपलब्ध प्रोजेक्ट्स","settings.localEnvironments.workspaceSelect.loading":"प्रोजेक्ट्स लोड किए जा रहे हैं.","settings.localEnvironments.workspaceSelect.loadingLabel":"एन्वायर्नमेंट लोड किया जा रहा है","settings.localEnvironments.workspaceSelect.title":"एक प्रोजेक्ट चुनें","settings.localEnvironments.workspaceSelect.viewAction":"देखें","settings.mcp.addServer":"सर्वर जोड़ें","settings.mcp.app.configure":"कॉन्फ़िगर करें","settings.mcp.app.connect":"कनेक्ट करें","settings.mcp.apps.refresh":"रीफ़्रेश करें","settings.mcp.detail.addArgument":"आर्ग्युमेंट जोड़ें","settings.mcp.detail.addEnvVar":"एन्वायर्नमेंट वेरिएबल जोड़ें","settings.mcp.detail.addEnvVarPassthrough":"वेरिएबल जोड़ें","settings.mcp.detail.args":"आर्ग्युमेंट्स","settings.mcp.detail.back":"पीछे जाएँ","settings.mcp.detail.command":"लॉन्च करने का कमांड","settings.mcp.detail.cwd":"वर्किंग डाइरेक्टरी","settings.mcp.detail.docs":"MCP डॉक्यूमेंटेशन खोलें","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"एन्वायर्नमेंट वेरिएबल पासथ्रू","settings.mcp.detail.envVars":"एन्वायर्नमेंट के वेरिएबल्स","settings.mcp.detail.http.addEnvHeader":"वेरिएबल जोड़ें","settings.mcp.detail.http.addHeader":"हेडर जोड़ें","settings.mcp.detail.http.bearerToken":"बियरर टोकन env var","settings.mcp.detail.http.envHeaders":"एन्वायर्नमेंट वेरिएबल्स से हेडर्स","settings.mcp.detail.http.headers":"हेडर्स","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"नाम","settings.mcp.detail.save":"सेव करें","settings.mcp.detail.switchTransportNotice":"अगर आप MCP सर्वर टाइप बदलना चाहते हैं, तो कृपया पहले इसे अनइंस्टॉल कर दें.","settings.mcp.detail.titleExisting":"{name} MCP अपडेट करें","settings.mcp.detail.titleNew":"एक कस्टम MCP से कनेक्ट करें","settings.mcp.detail.transport.http":"स्ट्रीम करने लायक HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"अनइंस्टॉल करें","settings.mcp.empty":"कोई कस्टम MCP सर्वर कनेक्ट नहीं किए हुए हैं","settings.mcp.myServers":"कस्टम सर्वर","settings.mcp.partnerServer.description.figma":"Figma के पूरे कॉन्टेक्स्ट को शामिल करके बेहतर कोड जेनरेट करें.","settings.mcp.partnerServer.description.github":"वर्कफ़्लोज़ को ऑटोमेट करने और डेटा निकालने के लिए GitHub API के साथ इंटीग्रेट करें.","settings.mcp.partnerServer.description.linear":"Linear के इश्यू ट्रैकिंग और प्रोजेक्ट मैनेजमेंट के साथ इंटीग्रेट करें","settings.mcp.partnerServer.description.notion":"डॉक्स पढ़ें, पेजेज़ अपडेट करें, टास्क मैनेज करें","settings.mcp.partnerServer.description.playwright":"UI का डिज़ाइन और टेस्ट लागू करने के लिए ब्राउज़र ऑटोमेशन को इंटीग्रेट करें.","settings.mcp.partnerServer.install":"इंस्टॉल करें","settings.mcp.partnerServer.installAndAuthenticate":"इंस्टॉल और ऑथेंटिकेट करें","settings.mcp.partnerServer.logoAlt":"{label} लोगो","settings.mcp.partnerServer.manage":"मैनेज करें","settings.mcp.partnerServer.vendor":"{vendor} द्वारा","settings.mcp.recommendedServers":"सुझाए गए सर्वर","settings.mcp.restartApp":"रीस्टार्ट करें","settings.mcp.restartExtension":"एक्सटेंशन को रीस्टार्ट करें","settings.mcp.server.enable":"इनेबल करें","settings.mcp.server.login":"ऑथेंटिकेट करें","settings.mcp.server.settings":"सेटिंग्स","settings.multiselect.createOption":"“{value}” बनाएं","settings.multiselect.removeOption":"हटाएं","settings.nav.account":"अकाउंट","settings.nav.agent":"कॉन्फ़िगरेशन","settings.nav.ariaLabel":"सेटिंग्स","settings.nav.back":"ऐप पर वापस जाएं","settings.nav.data-controls":"आर्काइव किए गए थ्रेड्स","settings.nav.environments":"क्लाउड एन्वायर्नमेंट्स","settings.nav.externalTooltip":"[alpha] ब्राउज़र में खुलता है","settings.nav.general-settings":"सामान्य","settings.nav.git-settings":"Git","settings.nav.local-environments":"एन्वायर्नमेंट्स","settings.nav.mcp-settings":"MCP सर्वर्स","settings.nav.notImplemented":"[alpha] Alpha में उपलब्ध नहीं है","settings.nav.personalization":"पर्सनलाइज़ेशन","settings.nav.skills-settings":"स्किल्स","settings.nav.usage-analytics":"यूसेज और एनालिटिक्स","settings.nav.worktrees":"वर्कट्रीज़","settings.openSourceLicenses.back":"पीछे जाएँ","settings.openSourceLicenses.loading":"लोड किया जा रहा है...","settings.openSourceLicenses.missing":"कोई भी थर्ड-पार्टी नोटिसेस नहीं मिले.","settings.openSourceLicenses.notSupported":"इस होस्ट में उपलब्ध नहीं है.","settings.openSourceLicenses.rowDescription":"बंडल की गई निर्भरताओं के लिए थर्ड-पार्टी नोटिसेस","settings.openSourceLicenses.rowLabel":"ओपन सोर्स लाइसेंसेस","settings.openSourceLicenses.subtitle":"इस ऐप में शामिल निर्भरताओं के लिए थर्ड-पार्टी नोटिसेस","settings.openSourceLicenses.title":"ओपन सोर्स लाइसेंसेस","settings.openSourceLicenses.view":"देखें","settings.personalization.agents.description":"ऐसे इंस्ट्रक्शन्स एडिट करें जो Codex को आपके हिसाब से कस्टमाइज़ करें. {learnMore}","settings.personalization.agents.learnMore":"और ज़्यादा जानें","settings.personalization.agents.loadError":"agents.md लोड नहीं कर पाए.","settings.personalization.agents.loading":"agents.md लोड किया जा रहा है…","settings.personalization.agents.placeholder":"अपने कस्टम इंस्ट्रक्शन्स जोड़ें…","settings.personalization.agents.retry":"दोबारा कोशिश करें","settings.personalization.agents.save":"सेव करें","settings.personalization.agents.save.error":"agents.md को सेव नहीं किया जा सका","settings.personalization.agents.save.success":"agents.md सेव किया गया","settings.personalization.agents.title":"कस्टम निर्देश","settings.personalization.personality.description":"Codex के जवाबों के लिए एक डिफ़ॉल्ट टोन चुनें","settings.personalization.personality.label":"पर्सनैलिटी","settings.sample.contentBody":"अपने सेटिंग्स पैनल को एक जैसी स्पेसिंग के साथ बनाने के लिए इस लेआउट का इस्तेमाल करें.","settings.sample.contentTitle":"सैंपल कंटेंट ब्लॉक","settings.section.account":"अकाउंट","settings.section.agent":"कॉन्फ़िगरेशन","settings.section.data-controls":"आर्काइव किए गए थ्रेड्स","settings.section.environments":"क्लाउड एन्वायर्नमेंट्स","settings.section.external":"Alpha के दौरान ये आपके ब्राउज़र में खुलेगा.","settings.section.general-settings":"सामान्य","settings.section.git-settings":"Git","settings.section.local-environments":"एन्वायर्नमेंट्स","settings.section.mcp-settings":"MCP सर्वर्स","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"एक्सटर्नल टूल्स और डेटा सोर्सेस कनेक्ट करें.","settings.section.personalization":"पर्सनलाइज़ेशन","settings.section.skills-settings":"स्किल्स","settings.section.unavailable":"अभी Alpha में उपलब्ध नहीं है","settings.section.usage-analytics":"यूसेज और एनालिटिक्स","settings.section.worktrees":"वर्कट्रीज़","settings.threadDetail.description":"चुनें कि थ्रेड्स में कितना कमांड आउटपुट दिखाना है.","settings.threadDetail.label":"थ्रेड की डिटेल","settings.worktrees.conversation.untitled":"अनटाइटल्ड बातचीत","settings.worktrees.delete.error":"वर्क ट्री को डिलीट नहीं किया जा सका","settings.worktrees.empty.body":"Codex द्वारा बनाई गई वर्कट्रीज़ यहां दिखाई देंगी.","settings.worktrees.empty.title":"अभी तक कोई वर्कट्रीज़ नहीं है","settings.worktrees.error.body":"वर्कट्रीज़ लोड करते समय कुछ गड़बड़ हो गई.","settings.worktrees.error.retry":"दोबारा कोशिश करें","settings.worktrees.error.title":"वर्कट्रीज़ लोड नहीं की जा सकीं","settings.worktrees.loading.body":"वर्कट्री की डिटेल्स निकाली जा रही हैं.","settings.worktrees.loading.title":"वर्कट्रीज़ लोड की जा रही हैं","settings.worktrees.repository.loading":"रिपॉज़िटरी मेटाडेटा लोड की जा रही हैं…","settings.worktrees.repository.unknown":"अनजान रिपॉज़िटरी","settings.worktrees.row.conversations":"बातचीत","settings.worktrees.row.conversations.empty":"इस वर्कट्री से कोई बातचीतें जुड़ी नहीं हैं.","settings.worktrees.row.conversations.loading":"बातचीतें लोड की जा रही हैं...","settings.worktrees.row.delete":"डिलीट करें","settings.worktrees.row.title":"वर्कट्री","sidebarElectron.addWorkspaceRoot":"नया प्रोजेक्ट जोड़ें","sidebarElectron.archiveThread":"आर्काइव थ्रेड","sidebarElectron.archiveThreadError":"थ्रेड आर्काइव नहीं किया जा सका ","sidebarElectron.collapseFolder":"फ़ोल्डर को कोलैप्स करें","sidebarElectron.createStableWorktree":"पर्मानेंट वर्कट्री बनाएँ","sidebarElectron.createStableWorktree.dialog.ariaLabel":"प्रोजेक्ट का नाम","sidebarElectron.createStableWorktree.dialog.cancel":"कैंसल करें","sidebarElectron.createStableWorktree.dialog.create":"बनाएं","sidebarElectron.createStableWorktree.dialog.placeholder":"प्रोजेक्ट का नाम","sidebarElectron.createStableWorktree.dialog.subtitle":"HEAD से एक नई git वर्कट्री बनाएँ, इसे एक प्रोजेक्ट के तौर पर जोड़ें और इसे तब तक रखें जब तक आप इसे हटा नहीं देते.","sidebarElectron.createStableWorktree.dialog.title":"वर्कट्री बनाएँ और एक प्रोजेक्ट के तौर पर सेव करें.","sidebarElectron.createStableWorktree.error":"पर्मानेंट वर्कट्री नहीं बना पाए: {message}","sidebarElectron.debugNavLink":"डीबग करें","sidebarElectron.editWorkspaceRootOptionName":"नाम बदलें","sidebarElectron.expandFolder":"फ़ोल्डर को एक्स्पैंड करें","sidebarElectron.groupByMenu.recency":"क्रोनोलोजिकल लिस्ट","sidebarElectron.groupByMenu.title":"ऑर्गनाइज़ करें","sidebarElectron.groupByMenu.workspace":"प्रोजेक्ट के अनुसार","sidebarElectron.inboxRouteNavLink":"ऑटोमेशन्स","sidebarElectron.markThreadUnread":"नहीं पढ़े गए के तौर पर मार्क करें","sidebarElectron.missingWorkspaceRoot":"ये प्रोजेक्ट फ़ोल्डर डिलीट या मूव किया गया था","sidebarElectron.newThread":"नया थ्रेड","sidebarElectron.newThreadInGroup":"{folder} में नया थ्रेड शुरू करें","sidebarElectron.noRecentThreads":"कोई हालिया थ्रेड्स नहीं","sidebarElectron.noTasks":"कोई थ्रेड्स नहीं","sidebarElectron.noTasks.start":"एक नया प्रोजेक्ट जोड़ें","sidebarElectron.noTasksWithFilter":"कोई भी थ्रेड्स फ़िल्टर्स से मैच नहीं करते","sidebarElectron.pinnedThreads":"पिन किए हुए थ्रेड्स","sidebarElectron.recentNavLink":"थ्रेड्स","sidebarElectron.recentThreads":"हालिया थ्रेड्स","sidebarElectron.removeWorkspaceRootOption":"हटाएं","sidebarElectron.renameThread":"थ्रेड का नाम बदलें","sidebarElectron.renameThreadDialogAriaLabel":"थ्रेड का टाइटल","sidebarElectron.renameThreadDialogCancel":"कैंसल करें","sidebarElectron.renameThreadDialogPlaceholder":"एक टाइटल जोड़ें…","sidebarElectron.renameThreadDialogSave":"सेव करें","sidebarElectron.renameThreadDialogSubtitle":"इसे छोटा और पहचानने लायक रखें.","sidebarElectron.renameThreadDialogTitle":"थ्रेड का नाम बदलें","sidebarElectron.renameThreadError":"थ्रेड का नाम नहीं बदल पाए","sidebarElectron.renameWorkspaceRootOptionLabel":"डिस्प्ले होने वाला नाम","sidebarElectron.showLess":"कम दिखाएं","sidebarElectron.showMenu.all":"सारे थ्रेड्स","sidebarElectron.showMenu.relevant":"प्रासंगिक","sidebarElectron.showMenu.relevantHint":"सिर्फ़ मौजूदा ब्रांच, वर्कट्रीज़, या दूसरे थ्रेड्स के लिए हालिया थ्रेड्स दिखाएं जिन पर आपका ध्यान देने की ज़रुरत है.","sidebarElectron.showMenu.title":"दिखाएँ","sidebarElectron.showMenu.tooltip":"थ्रेड्स को फ़िल्टर करें, सॉर्ट करें, और ऑर्गनाइज़ करें","sidebarElectron.showMenu.trigger":"साइडबार थ्रेड्स फ़िल्टर करें","sidebarElectron.showMore":"और दिखाएं","sidebarElectron.skillsAppsRouteNavLink":"स्किल्स और ऐप्स","sidebarElectron.skillsRouteNavLink":"स्किल्स","sidebarElectron.sortMenu.created":"बनाया गया","sidebarElectron.sortMenu.title":"इसके अनुसार सॉर्ट करें","sidebarElectron.sortMenu.updated":"अपडेट किया गया","sidebarElectron.taskNavigation":"ऑटोमेशन फ़ोल्डर्स","sidebarElectron.tasksInFolder":"{folder} में ऑटोमेशन्स","sidebarElectron.workspaceOptions":"{folder} के लिए प्रोजेक्ट एक्शन्स","sidebarElectron.worktreeGroupTooltip":"ये एक गिट वर्कट्री है","skills.appsPage.apps.enableToggle":"ऐप को इनेबल करें","skills.appsPage.apps.installOnChatGpt":"ChatGPT पर इंस्टॉल करें","skills.appsPage.apps.manageOnChatGpt":"ChatGPT पर मैनेज करें","skills.appsPage.apps.noDescription":"कोई जानकारी नहीं","skills.appsPage.createSkill":"नई स्किल","skills.appsPage.empty.apps":"कोई ऐप्स नहीं मिले","skills.appsPage.empty.discoverApps":"खोजने के लिए कोई ऐप्स नहीं","skills.appsPage.empty.installedApps":"कोई इंस्टॉल किए गए ऐप्स नहीं","skills.appsPage.empty.skills":"कोई स्किल्स नहीं मिलीं","skills.appsPage.heading":"स्किल्स और ऐप्स","skills.appsPage.search.all":"स्किल्स और ऐप्स सर्च करें","skills.appsPage.search.all.label":"स्किल्स और ऐप्स सर्च करें","skills.appsPage.search.apps":"ऐप्स खोजें","skills.appsPage.search.apps.label":"ऐप्स खोजें","skills.appsPage.search.skills":"सर्च स्किल्स","skills.appsPage.search.skills.label":"सर्च स्किल्स","skills.appsPage.section.apps":"ऐप्स","skills.appsPage.section.apps.seeAll":"सभी {count} ऐप्स देखें","skills.appsPage.section.discover":"पता लगाएं","skills.appsPage.section.installedApps":"इंस्टॉल किया गया","skills.appsPage.section.skills":"स्किल्स","skills.appsPage.section.skills.seeAll":"सभी {count} स्किल्स देखें","skills.appsPage.subheading":"Codex को सुपरपॉवर्स दें.<link>और ज़्यादा जानें</link>","skills.appsPage.tab.apps":"ऐप्स","skills.appsPage.tab.recommended":"सुझाया गया","skills.appsPage.tab.skills":"स्किल्स","skills.card.contentsError":"स्किल कंटेंट्स लोड नहीं हो पा रहे हैं.","skills.card.disable":"डिसेबल करें","skills.card.disableSuccess":"{skillName} स्किल डिसेबल की गई","skills.card.disabledBadge":"डिसेबल किया गया","skills.card.enable":"इनेबल करें","skills.card.enableSuccess":"{skillName} स्किल इनेबल की गई","skills.card.loadingContents":"स्किल कंटेंट्स लोड किए जा रहे हैं...","skills.card.more":"और ज़्यादा एक्शन्स","skills.card.open":"खोलें","skills.card.removeFailed":"स्किल को अनइंस्टॉल नहीं कर पाए","skills.card.removeSuccess":"{skillName} स्किल अनइंस्टॉल की गई","skills.card.toggleEnabledError":"स्किल्स अपडेट नहीं हो सकीं","skills.card.try":"आज़माएं","skills.card.trySkill":"स्किल आज़माएं","skills.card.uninstall":"अनइंस्टॉल करें","skills.hero.dotLabel":"स्‍लाइड {index} पर जाएं","skills.hero.next":"अगली ख़ास स्किल","skills.hero.trySkill":"स्किल आज़माएं","skills.page.createSkill":"नई स्किल","skills.page.empty":"कोई स्किल्स नहीं मिलीं","skills.page.filteredEmpty":"कोई भी स्किल्स आपके फ़िल्टर्स से मैच नहीं करतीं","skills.page.filteredEmptyDescription":"अपने सर्च या स्कोप फ़िल्टर्स को एडजस्ट करके देखें","skills.page.heading":"स्किल्स","skills.page.loading":"स्किल्स लोड की जा रही हैं...","skills.page.refreshSkills":"रीफ़्रेश करें","skills.page.refreshSkillsToUseNew":"नई स्किल(ल्स) का इस्तेमाल करने के लिए रीफ़्रेश करें","skills.page.search":"सर्च स्किल्स","skills.page.search.label":"सर्च स्किल्स","skills.page.subheading":"Codex को सुपरपॉवर्स दें.<link>और ज़्यादा जानें</link>","skills.preview.copyPrompt":"प्रॉम्प्ट कॉपी करें","skills.preview.examplePrompt":"उदहारण प्रॉम्प्ट","skills.recommended.error":"सुझाई गई स्किल्स लोड नहीं हो पा रही हैं","skills.recommended.install":"इंस्टॉल करें","skills.recommended.installSkill":"स्किल इन्स्टॉल करें","skills.recommended.installSuccess":"{skillName} स्किल इंस्टॉल की गई","skills.recommended.installed":"इंस्टॉल किया गया","skills.scope.admin":"एडमिन","skills.scope.adminInstalled":"एडमिन इंस्टॉल किया गया","skills.scope.builtIn":"सिस्टम","skills.scope.personal":"निजी","skills.scope.repo":"रिपो","skills.scope.system":"सिस्टम","skills.scope.team":"Team","skills.scope.user":"यूज़र","skills.section.installed":"इंस्टॉल किया गया","skills.section.recommended":"सुझाया गया","story.slidingToggle.existing":"मौजूदा","story.slidingToggle.fromLocal":"लोकल से","story.slidingToggle.new":"नया","story.slidingToggle.toLocal":"लोकल में","terminal.close":"टर्मिनल बंद करें","terminal.title":"टर्मिनल","thinkingShimmer.default":"सोच रहा है","threadEnvIcon.cloudTooltip":"ये बातचीत Codex क्लाउड में रन हो रही है.","threadEnvIcon.localTooltip":"ये बातचीत लोकल तौर पर रन हो रही है.","threadEnvIcon.worktreeTooltip":"ये बातचीत लोकल गिट वर्कट्री में चल रही है.","threadHeader.archiveConfirmCancel":"कैंसल करें","threadHeader.archiveConfirmConfirm":"आर्काइव करें","threadHeader.archiveConfirmSubtitle":"आप इसे बाद में अपने आर्काइव किए गए थ्रेड्स में देख सकते हैं.","threadHeader.archiveConfirmTitle":"थ्रेड को आर्काइव करें?","threadHeader.copyAppLink":"Deeplink कॉपी करें","threadHeader.copySessionId":"सेशन ID कॉपी करें","threadHeader.copyWorkingDirectory":"वर्किंग डायरेक्टरी को कॉपी करें","threadHeader.forkIntoLocal":"लोकल में फ़ोर्क करें","threadHeader.forkIntoWorktree":"नई वर्कट्री में फ़ोर्क करें","threadHeader.forkPendingWorktreePrompt":"इस बातचीत को एक नई वर्कट्री में फ़ोर्क करें.","threadHeader.forkPendingWorktreeTitle":"फ़ोर्क की गई बातचीत","threadHeader.forkThreadError":"थ्रेड को फ़ोर्क नहीं किया जा सका","threadHeader.forkThreadRequiresGitRepo":"नई वर्कट्री में फ़ोर्क करने के लिए एक git रिपॉज़िटरी की ज़रुरत होती है","threadHeader.moreActions":"थ्रेड एक्शन्स","threadPage.newThread":"नया थ्रेड","threadPage.runAction.changeEnvironment":"एन्वायर्नमेंट बदलें","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} एक्शन्स","threadPage.runAction.environmentSelector.label":"एन्वायर्नमेंट चुनें","threadPage.runAction.label":"रन करें","threadPage.runAction.missing.label":"एक रन एक्शन सेट अप करें","threadPage.runAction.setup.commandLabel":"रन करने के लिए कमांड","threadPage.runAction.setup.description":"Codex को बताएं कि डिपेंडेंसीज़ कैसे इंस्टॉल करें और अपना ऐप कैसे शुरू करें.","threadPage.runAction.setup.editMore":"एन्वायर्नमेंट सेटिंग्स","threadPage.runAction.setup.placeholder":"जैसे कि: npm इंस्टॉल npm रन","threadPage.runAction.setup.submit":"सेव करके रन करें","threadPage.runAction.setup.title":"रन करें","threadPage.runAction.tooltip.withEnvironment":"{environmentName} एक्शन्स","threadPage.toggleDiffPanel":"डिफ पैनल को टॉगल करें","threadPage.toggleTerminal":"टर्मिनल टॉगल करें","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"फ़ोल्डर खोलें","toolSummaryForCmd.exploredFiles":"<verb>लिस्ट की गई</verb> फ़ाइलें","toolSummaryForCmd.exploredFilesInPath":"{path} में <verb>लिस्ट की गई</verb> फ़ाइलें","toolSummaryForCmd.exploringFiles":"फ़ाइलों को <verb>लिस्ट किया जा रहा है</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} में फ़ाइलों को <verb>लिस्ट किया जा रहा है</verb>","toolSummaryForCmd.finishedBackgroundTerminal":"बैकग्राउंड टर्मिनल पूरा हुआ","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"{command} के साथ बैकग्राउंड टर्मिनल पूरा हुआ","toolSummaryForCmd.ranGenericCommand":"<status>कमांड रन किया गया</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>रन किया गया</status>{command}{timer}","toolSummaryForCmd.read":"{path} <verb>पढ़ें</verb>","toolSummaryForCmd.runningGenericCommand":"<status>कमांड रन किया जा रहा है</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} के लिए","toolSummaryForCmd.searchedFor":"{query} के लिए <verb>सर्च की गई</verb>","toolSummaryForCmd.searchedForFiles":"फ़ाइलों के लिए <verb>सर्च की गईं</verb>","toolSummaryForCmd.searchedForInPath":"{path} में {query} के लिए <verb>सर्च की गईं</verb>","toolSummaryForCmd.searchingFor":"{query} के लिए <verb>सर्च किया जा रहा है</verb>","toolSummaryForCmd.searchingForFiles":"फ़ाइलों के लिए <verb>सर्च की जा रही है</verb>","toolSummaryForCmd.searchingForInPath":"{path} में {query} के लिए <verb>सर्च की जा रही है</verb>","toolSummaryForCmd.startedBackgroundTerminal":"बैकग्राउंड टर्मिनल शुरू हुआ","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"{command} के साथ बैकग्राउंड टर्मिनल शुरू हुआ","traceRecording.details.noteLabel":"जब यह हुआ तब आप क्या कर रहे थे? (ऑप्शनल)","traceRecording.details.notePlaceholder":"एक बड़े थ्रेड पर गए, फ़िर बार-बार टैब बदलते रहे…","traceRecording.details.submit":"ट्रेस भेजें","traceRecording.details.subtitle":"हम परफ़ॉर्मेंस से जुड़ी समस्याओं के निदान में मदद के लिए इस प्रोफ़ाइल ट्रेस को भेज सकते हैं.","traceRecording.details.title":"प्रोफ़ाइल ट्रेस भेजें?","traceRecording.progress.subtitle":"इसके पूरा होने तक Codex को खुला रखें.","traceRecording.saving.title":"ट्रेस को सेव किया जा रहा है...","traceRecording.startDetails.cancel":"कैंसल करें","traceRecording.startDetails.submit":"OK, रिकॉर्डिंग शुरू करें","traceRecording.startDetails.subtitle":"OK पर क्लिक करने के बाद, परफ़ॉर्मेंस से जुड़ी समस्या को दोबारा रीप्रोड्यूस करें, फ़िर रोकने और ट्रेस को रिव्यु करने के लिए फ़्लोटिंग रेड इंडिकेटर पर क्लिक करें.","traceRecording.startDetails.title":"ट्रेस रिकॉर्डिंग कैसे काम करती है","traceRecording.stopButton.ariaLabel":"ट्रेस रिकॉर्डिंग बंद करें","traceRecording.upload.successToast":"प्रोफ़ाइल ट्रेस भेजा गया.","traceRecording.uploading.title":"ट्रेस अपलोड किया जा रहा है…","wham.diff.addComment":"कमेंट जोड़ें","wham.diff.binaryFile":"बाइनरी फ़ाइल नहीं दिखाई गई","wham.diff.noContent":"कोई कंटेंट नहीं","wham.fileTag.deleted":"डिलीट किया गया","wham.fileTag.new":"नया","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}mo","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}w","wham.formattedRelativeDateTime.compactYearsAgo":"{value}y","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"आपकी टास्क पर काम किया जा रहा है","wham.whamProposedTask.title":"सुझाया गया टास्क","wham.whamProposedTask.useSuggestion":"सुझाव का इस्तेमाल करें","workspaceRootDialog.addError":"प्रोजेक्ट को नहीं जोड़ा जा सका","workspaceRootDialog.cancel":"कैंसल करें","workspaceRootDialog.confirmAdd":"प्रोजेक्ट डालें","workspaceRootDialog.confirmPick":"प्रोजेक्ट का इस्तेमाल करें","workspaceRootDialog.description":"{host} पर एक पाथ डालें जिसका इस्तेमाल एक प्रोजेक्ट के तौर पर किया जा सके.","workspaceRootDialog.pathLabel":"प्रोजेक्ट पाथ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"प्रोजेक्ट पाथ डालें","workspaceRootDialog.title.pick":"प्रोजेक्ट पाथ चुनें","worktreeInitV2.cancel":"कैंसल करें","worktreeInitV2.notification.failedTitle":"वर्कट्री सेटअप फ़ेल हो गया","worktreeInitV2.output.empty":"आउटपुट का इंतज़ार है","worktreeInitV2.status.error":"वर्कट्री सेटअप फ़ेल हो गया.","worktreeInitV2.status.running":"एक वर्कट्री बनाना और सेटअप रन करना.","worktreeInitV2.status.runningFork":"इस बातचीत को आगे बढ़ाने के लिए एक वर्कट्री बनाई जा रही है.","worktreeInitV2.status.success":"वर्कट्री तैयार है.","worktreeInitV2.title":"वर्कट्री बनाई जा रही है","worktreeInitV2.workLocallyInstead":"इसके बजाय लोकल तौर पर काम करें","worktreeRestoreBanner.body":"डिस्क स्पेस बचाने के लिए इस थ्रेड की वर्कट्री हटा दी गई है","worktreeRestoreBanner.missing.body":"इस थ्रेड की वर्किंग डायरेक्टरी अब मौजूद नहीं है","worktreeRestoreBanner.missing.title":"मौजूदा वर्किंग डायरेक्टरी गायब है","worktreeRestoreBanner.restore.error":"वर्कट्री को रीस्टोर नहीं कर पाए: {message}","worktreeRestoreBanner.restore.success":"वर्कट्री रीस्टोर की गई","worktreeRestoreBanner.restoreCta":"वर्कट्री को रीस्टोर करें","worktreeRestoreBanner.title":"वर्कट्री की सफ़ाई की गई"};export{e as default};
+const e={"CopyButton.copyTooltip":"कॉपी करें","app.sidebar.hide":"साइडबार को छिपाएं","app.sidebar.show":"साइडबार दिखाएं","app.sidebar.tooltip":"साइडबार टॉगल करें","appHeader.installUpdate":"अपडेट करें","appSunset.body":"इस ऐप का ये वर्ज़न अब सपोर्टेड नहीं है. कृपया लेटेस्ट वर्ज़न <here>यहां</here> से डाउनलोड करें.","appSunset.title":"अपग्रेड ज़रूरी है","automation.updateDirective.create":"बनाएँ","automation.updateDirective.open":"खोलें","automation.updateDirective.untitled":"अनटाइटल्ड ऑटोमेशन","automation.updateDirective.update":"अपडेट करें","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# एटेम्पट} other {# एटेम्पट्स}}","cloudTaskRow.archiveError":"टास्क को आर्काइव नहीं कर पाए","code.diff.requestChange":"बदलाव के लिए रिक्वेस्ट करें","code.diffComment.cancel":"कैंसल करें","code.diffComment.comment":"कमेंट करें","code.diffComment.delete":"डिलीट करें","code.diffComment.save":"सेव करें","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"कोई नतीजे नहीं रिपोर्ट किए गए.","codex.alert.closeAriaLabel":"बंद करें","codex.appUpsellBanner.cbpApi.message":"Codex ऐप के साथ तेज़ी से बनाएँ. अभी डाउनलोड करें या {learnMoreLink}.","codex.appUpsellBanner.download":"डाउनलोड करें","codex.appUpsellBanner.freeGo.message":"Codex 2 मार्च तक आपके प्लैन में शामिल है. तेज़ी से बनाने के लिए Codex ऐप आज़मा कर देखें.","codex.appUpsellBanner.later":"बाद में","codex.appUpsellBanner.learnMoreLowercase":"और ज़्यादा जानें","codex.appUpsellBanner.new":"नया","codex.appUpsellBanner.proPlusBusiness.message":"2 अप्रैल तक 2x रेट लिमिट्स के साथ Codex ऐप आज़मा कर देखें. अभी डाउनलोड करें या {learnMoreLink}.","codex.appUpsellBanner.title":"Codex ऐप","codex.applyDropdown.header.changes":"बदलाव","codex.applyDropdown.header.fileCount":"{count, plural, one {# फ़ाइल} other {# फ़ाइलें}}","codex.applyDropdown.header.rows":"पंक्तियां","codex.applyDropdown.header.title":"बदलावों को लागू करें","codex.applyDropdown.header.workspace":"प्रोजेक्ट","codex.applyDropdown.results.conflicted":"{count, plural, one {1 फ़ाइल विवादित:} other {{count} फ़ाइलें विवादित:}}","codex.applyDropdown.results.empty":"कोई फ़ाइलें कॉपी नहीं की गईं","codex.applyDropdown.results.skipped":"{count, plural, one {1 फ़ाइल छोड़ दी गई:} other {{count} फ़ाइलें छोड़ दी गईं.}}","codex.applyOrRevertBanner.apply":"लागू करें","codex.applyOrRevertBanner.applyMessage":"बदलाव लागू करें और लोकल तौर पर जारी रखें?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ये टास्क {environment} में बनाया गया था, इसलिए शायद साफ़ तौर पर लागू न हो.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment} में बदलाव किए गए इसलिए शायद साफ़ तौर पर लागू न हों.","codex.applyOrRevertBanner.reapply":"दोबारा लागू करें","codex.applyOrRevertBanner.revert":"उलट दें","codex.applyOrRevertBanner.revertMessage":"लागू किए गए बदलाव उलट दें?","codex.applyResultsDialog.applied":"साफ़-सुथरे तरीके से लागू किया गया ({count})","codex.applyResultsDialog.close":"बंद करें","codex.applyResultsDialog.conflicted":"विवादित ({count})","codex.applyResultsDialog.noDetails":"कोई फ़ाइल डिटेल्स उपलब्ध नहीं है.","codex.applyResultsDialog.skipped":"छोड़े गए ({count})","codex.applyResultsDialog.title":"रिज़ल्ट्स लागू करें","codex.archiveInfo":"आर्काइव की हुई चैट्स को {dataControlsLink} में देखें.","codex.archiveInfo.dataControlsLink":"डेटा कंट्रोल्स","codex.archiveInfo.electron":"आर्काइव की हुई चैट्स को {settingsLink} में देखें","codex.archiveInfo.extension":"आर्काइव की गई चैट्स अपने .codex फ़ोल्डर में देखें.","codex.archiveInfo.settingsLink":"सेटिंग्स","codex.banner.content.description":"टास्क को पैरेलल में रन करें, प्रोग्रेस को कहीं भी ट्रैक करें, और AI के साथ PRs को रिव्यु करें.","codex.banner.content.headline":"Codex ये सब करता है.","codex.cloudTaskRow.archiveTask":"टास्क को आर्काइव करें","codex.cloudTaskRow.confirmArchiveTask":"कन्फ़र्म करें","codex.command.feedback":"फ़ीडबैक","codex.command.findInThread":"खोजें","codex.command.forceReloadSkills":"फ़ोर्स रीलोड स्किल्स","codex.command.logOut":"लॉग आउट करें","codex.command.manageTasks":"टास्क मैनेज करें","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"पीछे जाएँ","codex.command.navigateForward":"आगे","codex.command.newThread":"नया थ्रेड","codex.command.nextThread":"अगला थ्रेड","codex.command.openFolder":"फ़ोल्डर खोलें","codex.command.openSkills":"स्किल्स पर जाएँ","codex.command.openThreadOverlay":"थ्रेड बाहर निकालें","codex.command.personalitySettings":"पर्सनैलिटी","codex.command.previousThread":"पिछला थ्रेड","codex.command.settings":"सेटिंग्स","codex.command.toggleDiffPanel":"डिफ पैनल को टॉगल करें","codex.command.toggleSidebar":"साइडबार टॉगल करें","codex.command.toggleTerminal":"टर्मिनल टॉगल करें","codex.commandGroup.app":"ऐप","codex.commandGroup.configure":"कॉन्फ़िगर करें","codex.commandGroup.navigation":"नेविगेशन","codex.commandGroup.panels":"पैनल्स","codex.commandGroup.skills":"स्किल्स","codex.commandGroup.thread":"थ्रेड","codex.commandGroup.workspace":"प्रोजेक्ट","codex.commandMenu.noResults":"कोई मैच नहीं","codex.commandMenu.searchPlaceholder":"कमांड्स सर्च करें","codex.commandMenu.suggestedGroup":"सुझाया गया","codex.commandMenu.switchWorkspace":"प्रोजेक्ट स्विच करें","codex.commandMenu.title":"कमांड मेनू","codex.common.retry":"दोबारा कोशिश करें","codex.composer.searchBranches":"ब्रांच सर्च करें","codex.dialog.basic.body":"ये Radix डायलॉग के चारों ओर हमारे रैपर का इस्तेमाल करके एक सिंपल मॉडल डायलॉग है.","codex.dialog.basic.cancel":"कैंसल करें","codex.dialog.basic.confirm":"कन्फ़र्म करें","codex.dialog.basic.open":"डायलॉग खोलें","codex.dialog.basic.title":"सैंपल डायलॉग","codex.dialog.long.close":"बंद करें","codex.dialog.long.line":"डायलॉग में लंबा कंटेंट दिखाने के लिए स्क्रॉल करने लायक लाइन {index}.","codex.dialog.long.open":"लंबा डायलॉग खोलें","codex.dialog.long.title":"लंबा कंटेंट डायलॉग","codex.dialog.unstyled.body":"ये कहानी दिखाती है कि कॉलर्स डायलॉग कंटेंट की स्टाइल को पूरी तरह से कैसे कंट्रोल कर सकते हैं.","codex.dialog.unstyled.open":"अनस्टाइल्ड डायलॉग खोलें","codex.dialog.unstyled.title":"अनस्टाइल्ड कंटेंट","codex.diff.openInEditorPrompt.openButton":"एडिटर में खोलें","codex.diff.openInEditorPrompt.singleLine":"यहाँ डिस्प्ले किए जाने के लिए फ़ाइल बहुत बड़ी है.","codex.diffView.failedToDecodeBase64Diff":"base64 डिफ़रेंस को डीकोड नहीं कर पाए","codex.diffView.filesChanged":"{fileCount, plural, one {# फ़ाइल बदली गई} other {# फ़ाइलें बदली गईं}}","codex.diffView.imagePreviewAlt":"इमेज प्रीव्यू","codex.diffView.imagePreviewEmpty":"कोई इमेज नहीं","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"कोई डिफ़रेंस डेटा नहीं","codex.diffView.pdfPreview.nextPage":"अगला पेज","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"पिछला पेज","codex.diffView.pdfPreviewEmpty":"कोई PDF प्रीव्यू नहीं","codex.diffView.pdfPreviewError":"PDF प्रीव्यू नहीं दिया जा सका","codex.diffView.richPreviewDisable":"रिच प्रीव्यू को डिसेबल करें","codex.diffView.richPreviewEnable":"रिच प्रीव्यू को इनेबल करें","codex.diffView.richPreviewLoading":"प्रीव्यू लोड किया जा रहा है...","codex.diffView.richPreviewToggle":"रिच प्रीव्यू  को टॉगल करें","codex.diffView.switchToUnified":"यूनिफ़ाइड डिफ़रेंस पर स्विच करें","codex.environmentSelector.noEnvironment":"कोई एन्वायर्नमेंट नहीं","codex.environments.environmentSettings":"एन्वायर्नमेंट सेटिंग्स","codex.environments.learnMore":"और ज़्यादा जानें","codex.environments.listError":"एन्वायर्नमेंट्स को लोड नहीं कर पाए.","codex.environments.noEnvironmentsFound":"कोई एन्वायर्नमेंट्स नहीं मिले","codex.environments.searchError":"एन्वायर्नमेंट्स सर्च नहीं कर पाए.","codex.errorBoundary.genericError":"ओह, एक एरर हो गया है","codex.errorBoundary.goHome":"दोबारा कोशिश करें","codex.file.patch.missing":"इस फ़ाइल के लिए पैच नहीं बनाया जा सका.","codex.gallery.automations.cwdLabel":"प्रोजेक्ट्स","codex.gallery.automations.nameLabel":"नाम","codex.gallery.automations.namePlaceholder":"किसी टास्क की समरी प्रस्तुत करें","codex.gallery.automations.promptLabel":"प्रॉम्प्ट","codex.gallery.automations.promptPlaceholder":"Codex को क्या करना चाहिए, इसके बारे में बताओ.","codex.gallery.dialogs.automation.label":"ऑटोमेशन डायलॉग","codex.gallery.dialogs.basic.body":"सीधे कन्फ़र्मेंशन्स या छोटे फ़ॉर्म्स के लिए इस लेआउट का इस्तेमाल करें.","codex.gallery.dialogs.basic.cancel":"कैंसल करें","codex.gallery.dialogs.basic.confirm":"कन्फ़र्म करें","codex.gallery.dialogs.basic.label":"बेसिक डायलॉग","codex.gallery.dialogs.basic.title":"सैंपल डायलॉग","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"समस्या के बारे में बताएं","codex.gallery.dialogs.feedbackSubmission.bad":"बुरा रिज़ल्ट","codex.gallery.dialogs.feedbackSubmission.bug":"बग","codex.gallery.dialogs.feedbackSubmission.good":"अच्छा रिज़ल्ट","codex.gallery.dialogs.feedbackSubmission.includeLogs":"मौजूदा Codex सेशन लॉग शामिल करें","codex.gallery.dialogs.feedbackSubmission.label":"फ़ीडबैक सबमिट करना","codex.gallery.dialogs.feedbackSubmission.other":"और भी बहुत कुछ","codex.gallery.dialogs.feedbackSubmission.placeholder":"समस्या के बारे में यहां बताएं","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"सुरक्षा जांच","codex.gallery.dialogs.feedbackSubmission.submit":"सबमिट करें","codex.gallery.dialogs.feedbackSubmission.title":"फ़ीडबैक","codex.gallery.dialogs.feedbackSuccess.body":"फ़ीडबैक अपलोड कर दिया गया है. अगर समस्या बनी रहती है, तो कृपया एक GitHub पर एक समस्या डालें या किसी मौजूदा समस्या में थ्रेड id बताएं:","codex.gallery.dialogs.feedbackSuccess.dismiss":"हटा दें","codex.gallery.dialogs.feedbackSuccess.label":"फ़ीडबैक सफ़लता","codex.gallery.dialogs.feedbackSuccess.title":"फ़ीडबैक अपलोड किया गया","codex.gallery.dialogs.gitApplyResults.applied":"साफ़-सुथरे तरीके से लागू किए गए (2)","codex.gallery.dialogs.gitApplyResults.close":"बंद करें","codex.gallery.dialogs.gitApplyResults.conflicted":"विवादित (1)","codex.gallery.dialogs.gitApplyResults.label":"रिज़ल्ट्स लागू करें","codex.gallery.dialogs.gitApplyResults.title":"रिज़ल्ट्स लागू करें","codex.gallery.dialogs.gitPushError.body":"लेटेस्ट बदलावों को पुल करें या अगर आप जानते हैं कि रिमोट हिस्टरी को ओवरराइट करना सुरक्षित है तो फ़ोर्स पुश करें.","codex.gallery.dialogs.gitPushError.cancel":"कैंसल करें","codex.gallery.dialogs.gitPushError.force":"फ़ोर्स पुश","codex.gallery.dialogs.gitPushError.label":"पुश एरर","codex.gallery.dialogs.gitPushError.subtitle":"आपकी ब्रांच origin/main के पीछे है.","codex.gallery.dialogs.gitPushError.title":"बदलाव लागू नहीं हो सके","codex.gallery.dialogs.gitRevert.cancel":"कैंसल करें","codex.gallery.dialogs.gitRevert.confirm":"उलट दें","codex.gallery.dialogs.gitRevert.label":"बदलावों को पहले जैसा करें","codex.gallery.dialogs.gitRevert.skip":"दोबारा नहीं पूछें","codex.gallery.dialogs.gitRevert.subtitle":"इस एक्शन से सभी बदलाव हट जाएंगे.","codex.gallery.dialogs.gitRevert.title":"बदलावों को पहले जैसा करें?","codex.gallery.dialogs.longForm.label":"लॉन्ग फ़ॉर्म डायलॉग","codex.gallery.dialogs.proseModal.body":"इस मोडल स्टाइल का इस्तेमाल लंबे इंस्ट्रक्शन्स, ऑनबोर्डिंग या रिच कंटेंट वाले ब्लॉक्स के लिए किया जाता है.","codex.gallery.dialogs.proseModal.close":"बंद करें","codex.gallery.dialogs.proseModal.subtitle":"लॉन्ग फ़ॉर्म गाइडेंस या डॉक्यूमेंटेशन यहां शेयर करें.","codex.gallery.dialogs.proseModal.title":"प्रोज़ मोडल","codex.gallery.dialogs.submitBlocked.label":"सबमिट ब्लॉक किया गया","codex.gallery.dialogs.submitBlocked.message":"प्रोजेक्ट उपलब्ध नहीं होने की वजह से आपका मेसेज भेजा नहीं जा सका.","codex.gallery.dialogs.submitBlocked.ok":"ठीक है","codex.gallery.dialogs.submitBlocked.title":"मेसेज नहीं भेज पाए","codex.gallery.dialogs.title":"डायलॉग्स","codex.gallery.dropdown.filterPlaceholder":"आइटम्स फ़िल्टर करें","codex.gallery.dropdowns.actionRow":"एक्शन रोज़","codex.gallery.dropdowns.actionRow.disabled":"डिसेबल किया गया एक्शन","codex.gallery.dropdowns.actionRow.primary":"प्राइमरी एक्शन","codex.gallery.dropdowns.actionRow.secondary":"सेकेंडरी एक्शन","codex.gallery.dropdowns.actionRow.trigger":"एक्शन्स दिखाएं","codex.gallery.dropdowns.basic":"बुनियादी ड्रॉपडाउन","codex.gallery.dropdowns.basic.newFile":"नई फ़ाइल","codex.gallery.dropdowns.basic.newFolder":"नया फ़ोल्डर","codex.gallery.dropdowns.basic.openSettings":"सेटिंग्स खोलें","codex.gallery.dropdowns.basic.title":"तुरंत एक्शन्स","codex.gallery.dropdowns.basic.trigger":"मेनू खोलें","codex.gallery.dropdowns.basic.upload":"अपलोड करें","codex.gallery.dropdowns.panel":"पैनल की सतह","codex.gallery.dropdowns.panel.apply":"लागू करें","codex.gallery.dropdowns.panel.body":"डिफ़्स को रिव्यु करें और उन्हें अपने प्रोजेक्ट में अप्लाई करें.","codex.gallery.dropdowns.panel.preview":"प्रीव्यू देखें","codex.gallery.dropdowns.panel.title":"बदलावों को लागू करें","codex.gallery.dropdowns.panel.trigger":"पैनल खोलें","codex.gallery.dropdowns.search":"सर्च करने लायक ड्रॉपडाउन","codex.gallery.dropdowns.search.first":"अल्फ़ा चैनल","codex.gallery.dropdowns.search.second":"बीटा ब्रांच","codex.gallery.dropdowns.search.third":"कैंडिडेट को रिलीज़ करें","codex.gallery.dropdowns.search.trigger":"आइटम्स फ़िल्टर करें","codex.gallery.dropdowns.submenu":"सबमेनू के साथ ड्रॉपडाउन","codex.gallery.dropdowns.submenu.optionA":"प्रोजेक्ट अल्फ़ा","codex.gallery.dropdowns.submenu.optionB":"प्रोजेक्ट बीटा","codex.gallery.dropdowns.submenu.optionC":"प्रोजेक्ट गामा","codex.gallery.dropdowns.submenu.primary":"ओनर असाइन करें","codex.gallery.dropdowns.submenu.secondary":" यहां मूव करें","codex.gallery.dropdowns.submenu.tertiary":"आर्काइव करें","codex.gallery.dropdowns.submenu.trigger":"एक्शन चुनें","codex.gallery.dropdowns.title":"ड्रापडाउन्स","codex.gallery.inbox.automations.close":"बंद करें","codex.gallery.inbox.automations.popover.cardTitle":"ऑटोमेशन्स को मैनेज करें","codex.gallery.inbox.automations.popover.dialogTitle":"ऑटोमेशन्स को मैनेज करें","codex.header.settingsTooltip":"सेटिंग्स","codex.hunk.patch.error":"स्टेज नहीं कर पाए","codex.hunk.patch.missing":"इस हंक के लिए पैच नहीं बनाया जा सका.","codex.hunk.patch.partialSuccess":"अधूरी सफ़लता","codex.hunk.patch.revertError":"अनस्टेज नहीं कर पाए","codex.hunk.patch.revertSuccess":"सही से अनस्टेज किया गया","codex.hunk.patch.success":"सही से स्टेज किया गया","codex.legal.autonomy.details":"और ज़्यादा जानकारी के लिए, {link} देखें","codex.legal.autonomy.details.link":"Codex डॉक्स","codex.legal.autonomy.title":"तय करें कि आप खुद से काम करने का कितना हक देना चाहते हैं","codex.legal.backButton":"पीछे जाएँ","codex.legal.cloud.taskOne.meta":"openai/agi · 12 अक्टूबर","codex.legal.cloud.taskOne.title":"एक नए डिज़ाइनर को रिपॉज़िटरी समझाएं","codex.legal.cloud.taskThree.meta":"openai/codex · 8 अक्टूबर","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"एक डार्कमोड थीम बनाएं","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 अक्टूबर","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"एक ऑनबोर्डिंग बग को ठीक करें","codex.legal.continue.apikey":"जारी रखें","codex.legal.continueButton":"आगे जाएं","codex.legal.copilot.details":"सभी मॉडल कॉल्स, बिलिंग, और रेट लिमिट्स के लिए आपके Copilot प्लैन का इस्तेमाल करता है. Codex एक्सटेंशन का इस्तेमाल {oaiTos} और {gitHubTos} दोनों के अधीन है.","codex.legal.copilot.gitHubTosLink":"GitHub सेवा की शर्तें","codex.legal.copilot.oaiTosLink":"OpenAI Codex सेवा की शर्तें","codex.legal.copilot.title":"GitHub Copilot की मदद से काम करता है","codex.legal.mistakes.review":"इसके द्वारा लिखे गए कोड और रन किए जाने वाले कमांड्स को रिव्यु करें","codex.legal.mistakes.title":"Codex गलतियां कर सकता है","codex.legal.powered.details":"आपके प्लैन की रेट लिमिट्स और {link} का इस्तेमाल करता है","codex.legal.powered.details.link":"ट्रेनिंग डेटा प्रेफ़रेंसेस","codex.legal.powered.title":"आपके ChatGPT अकाउंट की मदद से काम करता है","codex.legal.step.cloud.subtitle":"बैकग्राउंड में रन करने के लिए Codex को टास्क भेजें ताकि आप फ़ोकस कर सकें और तेज़ी से आगे बढ़ सकें.","codex.legal.step.cloud.title":"क्लाउड में Codex को सौंपें","codex.legal.step.intro.subtitle":"Codex सीधे आपकी रिपो में नैविगेट करता है, एडिट करता है, कमांड्स रन करता है, और टेस्ट एक्सीक्यूट करता है. आपके ChatGPT अकाउंट की मदद से काम करता है.","codex.legal.step.intro.title":"आपके IDE में Codex","codex.legal.step.todo.subtitle":"एक TODO कमेंट लिखें और इसे एक सिंगल क्लिक से Codex टास्क में बदल दें.","codex.legal.step.todo.title":"TODO को Codex टास्क में बदलें","codex.legal.todo.heading":"// TODO: स्कीमा लागू करें","codex.localConversation.closeImagePreview":"इमेज प्रीव्यू बंद करें","codex.localConversation.userImageAttachment":"यूज़र अटैचमेंट","codex.localTaskRow.archiveTask":"आर्काइव थ्रेड","codex.localTaskRow.awaitingApproval":"मंज़ूरी का इंतज़ार है","codex.localTaskRow.awaitingResponse":"जवाब के इंतज़ार में","codex.localTaskRow.confirmArchiveTask":"कन्फ़र्म करें","codex.loggedOut.apiKeyPrompt.cancel":"कैंसल करें","codex.loggedOut.apiKeyPrompt.confirm":"ठीक है","codex.loggedOut.apiKeyPrompt.getKey":"API की लें","codex.loggedOut.apiKeyPrompt.inputLabel":"अपनी OpenAI API की डालें","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API की के साथ क्लाउड टास्क डिसेबल किए गए","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot और API की के साथ क्लाउड टास्क डिसेबल किए गए","codex.loggedOut.signIn":"ChatGPT के साथ साइन इन करें","codex.loggedOut.signIn.cancel":"साइन-इन कैंसल करें","codex.loggedOut.signInWithCopilot":"GitHub Copilot के साथ साइन इन करें","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API की का इस्तेमाल करें","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} टूल","codex.mcpTool.collapsedLabel.verb.called":"कॉल किया गया","codex.mcpTool.collapsedLabel.verb.calling":"कॉल किया जा रहा है","codex.mcpTool.embeddedResource.contentLabel":"कंटेंट","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME टाइप","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"टूल ने कोई कंटेंट नहीं लौटाया","codex.mcpTool.rawPayloadHeading":"रॉ {server}.{tool} टूल कॉल पेलोड","codex.menu.recent":"हालिया","codex.menu.seeAllHistory":"पूरी हिस्टरी देखें","codex.modelCapacityBanner.headline.noReset":"इस समय {modelName} पूरी तरह से भरी हुई है. कृपया बाद में दोबारा कोशिश करें, या किसी दूसरे मॉडल के साथ नई बातचीत शुरू करें.","codex.modelCapacityBanner.headline.withReset":"इस समय {modelName} पूरी हो चुकी है. कृपया {resetDate} बाद दोबारा कोशिश करें, या किसी दूसरे मॉडल के साथ नई बातचीत शुरू करें.","codex.modelCapacityBanner.title":"चुने गए मॉडल की क्षमता पूरी हो चुकी है","codex.patch.change.contentsDeleted":"कंटेंट्स डिलीट कर दिए गए","codex.patch.change.created":"बनाया गया","codex.patch.change.created-file":"फ़ाइल बनाई गई","codex.patch.change.creating":"बनाया जा रहा है","codex.patch.change.deleted":"डिलीट किया गया","codex.patch.change.deleted-file":"फ़ाइल डिलीट की गई","codex.patch.change.deleting":"डिलीट किया जा रहा है","codex.patch.change.edited":"एडिट किया गया","codex.patch.change.edited-file":"फ़ाइल एडिट की गई","codex.patch.change.editing":"एडिटिंग","codex.patch.change.noChanges":"कोई बदलाव नहीं","codex.patch.change.rejected-add":"नामंज़ूर कर दिया","codex.patch.change.rejected-delete":"नामंज़ूर कर दिया","codex.patch.change.rejected-edit":"नामंज़ूर कर दिया","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total} में से {completed} टास्क पूरे हुए","codex.plan.todoListCreated":"{total} टास्क के साथ करने लायक कामों की लिस्ट बनाई गई","codex.profileDropdown.apiKeyAuth":"API की के साथ लॉग इन किया गया","codex.profileDropdown.codexSettings":"Codex सेटिंग्स","codex.profileDropdown.copilotAuth":"Copilot के साथ लॉग इन किया गया","codex.profileDropdown.defaultAccountTitle":"डिफ़ॉल्ट अकाउंट","codex.profileDropdown.enterBehavior":"लंबे प्रॉम्प्ट्स भेजने के लिए {modifierSymbol} + एंटर दबाएं","codex.profileDropdown.enterBehaviorError":"सेटिंग अपडेट नहीं की जा सकी","codex.profileDropdown.getPlus":"ऊंची लिमिट्स के लिए अपग्रेड करें","codex.profileDropdown.keyboardShortcuts":"कीबोर्ड के शॉर्टकट्स","codex.profileDropdown.language":"भाषा","codex.profileDropdown.languageDefault":"ऑटो-डिटेक्ट","codex.profileDropdown.languageSearchPlaceholder":"भाषाएं सर्च करें","codex.profileDropdown.languageUpdateError":"भाषा को अपडेट नहीं कर पाए","codex.profileDropdown.logOut":"लॉग आउट करें","codex.profileDropdown.mcp":"MCP सेटिंग्स","codex.profileDropdown.openConfigToml":"config.toml खोलें","codex.profileDropdown.openConfigToml.wsl":"WSL एन्वायर्नमेंट में config.toml खोलें","codex.profileDropdown.openExtensionSettings":"सेटिंग्स खोलें","codex.profileDropdown.openMcpSettings":"MCP सेटिंग्स खोलें","codex.profileDropdown.openOnStartup":"स्टार्टअप पर खोलें","codex.profileDropdown.openOnStartupError":"सेटिंग अपडेट नहीं की जा सकी","codex.profileDropdown.openSkillsSettings":"स्किल्स सेटिंग्स खोलें","codex.profileDropdown.personalAccountTitle":"निजी अकाउंट","codex.profileDropdown.queueFollowUps":"फ़ॉलो-अप्स को कतार में रखें","codex.profileDropdown.queueFollowUpsError":"सेटिंग अपडेट नहीं की जा सकी","codex.profileDropdown.readDocs":"डॉक्स पढ़ें","codex.profileDropdown.readSkillsDocs":"डॉक्स पढ़ें","codex.profileDropdown.runInWsl":"WSL में रन करें","codex.profileDropdown.runInWslError":"सेटिंग अपडेट नहीं की जा सकी","codex.profileDropdown.runInWslTooltip":"WSL में Codex रन करता है. बेहतर सैंडबॉक्स सिक्यूरिटी और बेहतर परफ़ॉर्मेंस के लिए सुझाया गया.","codex.profileDropdown.settings":"IDE सेटिंग्स","codex.profileDropdown.settingsPage":"सेटिंग्स","codex.profileDropdown.signInWithOpenAI":"ChatGPT के साथ साइन इन करें","codex.profileDropdown.skills":"स्किल्स सेटिंग्स","codex.profileDropdown.switchToCopilotAccount":"Copilot अकाउंट का इस्तेमाल करें","codex.profileDropdown.switchToOpenAIAccount":"OpenAI अकाउंट का इस्तेमाल करें","codex.profileDropdown.todoCodelens":"TODO कमेंट्स ठीक करें","codex.profileDropdown.todoCodelensError":"सेटिंग अपडेट नहीं की जा सकी","codex.profileDropdown.windowsDocumentation":"Windows डॉक्यूमेंटेशन","codex.profileFooter.signedInFallback":"सेटिंग्स","codex.profileFooter.upgrade":"अपग्रेड करें","codex.recentTasksMenu.clearSearch":"सर्च की क्लियर करें","codex.recentTasksMenu.cloud":"क्लाउड टास्क","codex.recentTasksMenu.count":"{count, plural, =0 {कोई टास्क चालू नहीं है} one {# टास्क चालू है} other {# टास्क चालू हैं}}","codex.recentTasksMenu.empty":"अभी तक कोई थ्रेड्स नहीं","codex.recentTasksMenu.errorCloud":"टास्क लोड नहीं कर पाए.","codex.recentTasksMenu.errorCloud.inline":"क्लाउड टास्क लोड नहीं कर पाए.","codex.recentTasksMenu.filterAll":"सभी","codex.recentTasksMenu.filterCloudTasks":"क्लाउड टास्क फ़िल्टर करें","codex.recentTasksMenu.filterTooltip":"एन्वायर्नमेंट के हिसाब से सारे टास्क फ़िल्टर करें","codex.recentTasksMenu.local":"लोकल टास्क","codex.recentTasksMenu.recent":"सभी टास्क","codex.recentTasksMenu.search":"हालिया टास्क सर्च करें","codex.recentTasksMenu.searchEmpty":"कोई रिज़ल्ट नहीं","codex.recentTasksMenu.tooltip":"टास्क हिस्टरी","codex.recentTasksMenu.trigger":"हालिया टास्क. {count, plural, one {# चालू है} other {# चालू है}}","codex.remoteConversation.applyDiff.applyCta":"बदलावों को लागू करें","codex.remoteConversation.applyDiff.dropdownTitle":"एक लोकल ब्रांच में बदलावों को लागू करें","codex.remoteConversation.applyDiff.revertCta":"बदलावों को पहले जैसा करें","codex.remoteConversation.closeImagePreview":"इमेज प्रीव्यू बंद करें","codex.remoteConversation.codexCloudTask":"आप एक <u>Codex क्लाउड</u> टास्क देख रहे हैं","codex.remoteConversation.errorWithMessage":"एरर: {message}","codex.remoteConversation.loadingImage":"इमेज लोड की जा रही है","codex.remoteConversation.openInWeb":"वेब में खोलें","codex.remoteConversation.streaming":"शुरू किया जा रहा है","codex.remoteConversation.turnFailed":"इस टास्क के दौरान एक एरर हुआ","codex.remoteConversation.turnTab.loading":"{number} के लिए अटेम्पट करें","codex.remoteConversation.turnTab.title":"{number} के लिए अटेम्पट करें","codex.remoteConversation.userImageAttachment":"यूज़र अटैचमेंट","codex.remoteConversation.viewPreviousTurns":"वेब में खोलें","codex.remoteConversation.viewPreviousTurns.buttonText":"खोलें","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"वेब में खोलें","codex.review.copyGitApplyCommand":"git apply कमांड कॉपी करें","codex.review.copyGitApplyCommand.toast":"git apply कमांड को क्लिपबोर्ड पर कॉपी कर लिया गया है","codex.review.diffTooLarge.description":"ये अंतर रिव्यु में डिस्प्ले करने के लिए बहुत बड़ा है.","codex.review.diffTooLarge.title":"डिस्प्ले किए जाने के लिए डिफ़ बहुत बड़ा है","codex.review.expandOrCollapseDiffButton.collapse":"सभी डिफ़रेंसेस को कोलैप्स करें","codex.review.expandOrCollapseDiffButton.expand":"सभी डिफ़रेंसेस को एक्स्पैंड करें","codex.review.expandOrCollapseDiffMenu.collapse":"सभी डिफ़रेंसेस को कोलैप्स करें","codex.review.expandOrCollapseDiffMenu.expand":"सभी डिफ़रेंसेस को एक्स्पैंड करें","codex.review.fileSearch.clear":"फ़ाइल फ़िल्टर क्लियर करें","codex.review.fileSearch.empty":"कोई भी फ़ाइलें मौजूदा फ़िल्टर से मैच नहीं करतीं.","codex.review.fileSearch.label":"फ़ाइलें फ़िल्टर करें","codex.review.fileSearch.placeholder":"फ़ाइलें फ़िल्टर करें…","codex.review.filesChanged":"{num, plural, =0 {कोई फ़ाइल नहीं बदली गई} one {# फ़ाइल बदली गई} other {# फ़ाइलें बदली गईं}}","codex.review.find.loadMore":"और मैच लोड करें","codex.review.fullReview.hideFileTree":"फ़ाइल ट्री छिपाएं","codex.review.fullReview.showFileTree":"फ़ाइल ट्री दिखाएं","codex.review.header.moreOptions":"ऑप्शन्स को रिव्यु करें","codex.review.largeDiff.banner":"बड़ा अंतर पाया गया — एक बार में एक फ़ाइल दिखाई जा रही है.","codex.review.loadFullFiles.disable":"पूरी फ़ाइलें लोड नहीं करें","codex.review.loadFullFiles.enable":"पूरी फ़ाइलें लोड करें","codex.review.noDiff":"कोड में हुए बदलाव यहां दिखाई देंगे","codex.review.noDiff.gitInit.createRepository":"गिट रिपॉज़िटरी बनाएँ","codex.review.noDiff.gitInit.creating":"बनाया जा रहा है...","codex.review.noDiff.gitInit.error":"Git इनिशियलाइज़ेशन नहीं हो पाया: {message}","codex.review.noDiff.gitInit.success":"गिट रिपॉज़िटरी बनाई गई","codex.review.noDiff.gitRepoRequired.description":"इस प्रोजेक्ट में किए गए बदलावों को ट्रैक करके उन्हें पहले जैसा करें.","codex.review.noDiff.gitRepoRequired.title":"एक Git रिपॉज़िटरी बनाएं","codex.review.noDiff.orNoLongerAvailable":"या लेटेस्ट डिफ़रेंसेस अब उपलब्ध नहीं हैं","codex.review.noDiff.reverted":"आखिरी टर्न वापस कर दिया गया है","codex.review.noDiff.revertedOrCommitted":"आखिरी टर्न या तो वापस या कमिट कर दिया गया है","codex.review.refreshGitQueries":"रीफ़्रेश करें","codex.review.revert.file.error":"{path} को उलट नहीं पाए","codex.review.revert.file.partialSuccess":"{path} को आंशिक तौर पर उलट किया गया","codex.review.revert.file.success":"{path} को उलट किया गया","codex.review.revert.hunk.error":"हंक {hunkNumber} को {path} में उलट नहीं पाए.","codex.review.revert.hunk.partialSuccess":"हंक {hunkNumber} को {path} में आंशिक तौर पर उलट किया गया","codex.review.revert.hunk.success":"हंक {hunkNumber} को {path} में उलट किया गया","codex.review.revert.section.error":"सेक्शन को उलट नहीं किया जा सका","codex.review.revert.section.partialSuccess":"सेक्शन को आंशिक तौर पर उलट किया गया","codex.review.revert.section.success":"सेक्शन को उलट किया गया","codex.review.revertDialog.cancel":"कैंसल करें","codex.review.revertDialog.confirm":"कन्फ़र्म करें","codex.review.revertDialog.message":"इस एक्शन से सभी बदलाव हट जाएंगे.","codex.review.revertDialog.skip":"दोबारा नहीं पूछें","codex.review.revertDialog.title":"बदलावों को पहले जैसा करें?","codex.review.richPreview.disable":"रिच प्रीव्यू को डिसेबल करें","codex.review.richPreview.enable":"रिच प्रीव्यू को इनेबल करें","codex.review.source.cloud":"क्लाउड के बदलाव","codex.review.source.local.all":"ब्रांच के सभी बदलाव","codex.review.source.local.lastTurn":"आखिरी टर्न के बदलाव","codex.review.source.local.uncommitted":"कमिट नहीं किए गए बदलाव","codex.review.source.worktree":"कमिट नहीं किए गए वर्क ट्री बदलाव","codex.review.stageFilter.empty.staged.description":"उन्हें स्टेज करने के लिए एडिट्स को मंज़ूर करें","codex.review.stageFilter.empty.staged.title":"कोई स्टेज किए गए बदलाव नहीं","codex.review.stageFilter.empty.unstaged.description":"कोड में हुए बदलाव यहां दिखाई देंगे","codex.review.stageFilter.empty.unstaged.title":"कोई अनस्टेज किए गए बदलाव नहीं","codex.review.stageFilter.staged":"स्टेज किए गए","codex.review.stageFilter.staged.count":"स्टेज किए गए · {count}","codex.review.stageFilter.unstaged":"अनस्टेज किए गए","codex.review.stageFilter.unstaged.count":"अनस्टेज किए गए · {count}","codex.review.switchToSplit":"स्प्लिट डिफ़रेंस पर स्विच करें","codex.review.switchToUnified":"यूनिफ़ाइड डिफ़रेंस पर स्विच करें","codex.review.toggleDiffView":"अलग व्यू पर टॉगल करें","codex.review.wordDiffs.disable":"वर्ड डिफ़्स को डिसेबल करें","codex.review.wordDiffs.enable":"वर्ड डिफ़्स को इनेबल करें","codex.review.wrap.disable":"वर्ड रैप को डिसेबल करें","codex.review.wrap.enable":"वर्ड रैप को इनेबल करें","codex.section.patch.missing":"इस सेक्शन के लिए पैच नहीं बना पाए.","codex.shell.collapse":"शेल को कोलैप्स करें","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"शेल कंटेंट्स कॉपी किए गए","codex.shell.copy.copyTooltip":"शेल कंटेंट्स कॉपी करें","codex.shell.copyCommand":"कमांड कॉपी करें","codex.shell.copyOutput":"आउटपुट कॉपी करें","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"बैश","codex.shell.expand":"शेल को एक्स्पैंड करें","codex.shell.name":"Shell","codex.shell.noOutput":"कोई आउटपुट नहीं","codex.signInFailed.message":"साइन-इन नहीं हो पाया: {rawMessage}","codex.stories.toast.show":"टोस्ट दिखाएं","codex.stories.tooltip.basic":"ये एक टूलटिप है","codex.stories.tooltip.hoverMe":"मुझे हॉवर करें","codex.stories.tooltip.largerOffset":"इस टूलटिप का ऑफ़सेट बड़ा है","codex.stories.tooltip.offsetButton":"बड़ा ऑफ़सेट","codex.stories.tooltip.shortcutButton":"शॉर्टकट के साथ","codex.stories.tooltip.withShortcut":"टर्मिनल टॉगल करें","codex.taskRow.title":"नया थ्रेड","codex.taskRowLayout.confirm":"कन्फ़र्म करें","codex.threadFindBar.chatFilter":"चैट्स सर्च करें","codex.threadFindBar.close":"खोज बंद करें","codex.threadFindBar.diffFilter":"डिफ़्स सर्च करें","codex.threadFindBar.label":"थ्रेड में खोजें","codex.threadFindBar.nextResult":"अगला रिज़ल्ट","codex.threadFindBar.noResults":"0 रिज़ल्ट्स","codex.threadFindBar.placeholder":"थ्रेड सर्च करें...","codex.threadFindBar.placeholder.extension":"थ्रेड सर्च करें...","codex.threadFindBar.placeholder.review":"डिफ़ सर्च करें...","codex.threadFindBar.placeholder.review.extension":"डिफ़ सर्च करें...","codex.threadFindBar.previousResult":"पिछला रिज़ल्ट","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# फ़ाइल बदली गई} other {# फ़ाइलें बदली गईं}}","codex.unifiedDiff.inlineLargeFile":"इनलाइन रेंडर करने के लिए बहुत बड़ी है","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"पहले जैसा करें","codex.unifiedDiff.revertPatchError":"बदलावों को पहले जैसा नहीं कर पाए","codex.unifiedDiff.revertPatchSuccess":"बदलाव उलट दिए गए","codex.unifiedDiff.reviewChangesSuffix":"बदलाव","codex.unifiedDiff.reviewShort":"रिव्यु करें","codex.unifiedDiff.viewDiffTooltip":"रिव्यु करें","codex.upsellBanner.business.headline":"अभी और एक्सेस पाने के लिए, अपने एडमिन को एक रिक्वेस्ट भेजें, या {resetDate} तक इंतज़ार करें.","codex.upsellBanner.cbp.headline":"अभी और ज़्यादा एक्सेस पाने के लिए, अपने एडमिन को एक रिक्वेस्ट भेजें.","codex.upsellBanner.cta.addCredits":"क्रेडिट्स जोड़ें","codex.upsellBanner.cta.upgradeAccount":"अपग्रेड करें","codex.upsellBanner.cta.viewUsage":"यूसेज देखें","codex.upsellBanner.free.trialHeadline":"आपकी रेट लिमिट {resetDate} को रीसेट होगी. Codex का इस्तेमाल जारी रखने और GPT-5.3-Codex की एक्सेस पाने के लिए, आज ही Plus का फ़्री ट्रायल शुरू करें.","codex.upsellBanner.freeOrGo.headline":"आपकी रेट लिमिट {resetDate} को रीसेट होगी. Codex का इस्तेमाल जारी रखने के लिए, आज ही Plus प्लैन में अपग्रेड करें.","codex.upsellBanner.general.headline":"आपकी रेट लिमिट {resetDate} को रीसेट होगी.","codex.upsellBanner.general.title":"आपके पास Codex मेसेज ख़त्म हो गए हैं","codex.upsellBanner.go.trialHeadline":"आपकी रेट लिमिट {resetDate} पर रीसेट होगी. Codex का इस्तेमाल जारी रखने के लिए, आज ही Plus का फ़्री ट्रायल शुरू करें.","codex.upsellBanner.plus.headline":"आपकी रेट लिमिट {resetDate} को रीसेट होगी. Codex का इस्तेमाल जारी रखने के लिए, आज ही क्रेडिट्स जोड़ें या Pro प्लैन में अपग्रेड करें.","codex.upsellBanner.pro.headline":"आपकी रेट लिमिट {resetDate} को रीसेट होगी. Codex का इस्तेमाल जारी रखने के लिए अभी क्रेडिट्स जोड़ें.","codex.userMessage.autoResolveSync":"विवादों को ऑटो रिज़ॉल्व करें ","codex.userMessage.commentCount":"{count, plural, one {# कमेंट} other {# कमेंट्स}}","codex.userMessage.copiedAriaLabel":"कॉपी हो गया","codex.userMessage.copiedTooltip":"कॉपी हो गया","codex.userMessage.copyAriaLabel":"मैसेज कॉपी करें","codex.userMessage.copyTooltip":"कॉपी करें","codex.userMessage.implementPlan":"प्लैन को लागू करें","codex.userMessage.noContent":"(कोई कंटेंट नहीं)","codex.userMessage.priorConversation":"पहले की बातचीत के रेफ़रेंसेस","codex.userMessage.reviewMode":"रिव्यु मोड","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} के लिए","codex.webSearch.summary.verb.completed":"वेब पर सर्च किया गया","codex.webSearch.summary.verb.inProgress":"वेब सर्च किया जा रहा है","codex.windowsInstallWslBanner.dismiss":"हटा दें","codex.windowsInstallWslBanner.installWslCta":"सैंडबॉक्स को इनेबल करें","codex.windowsInstallWslBanner.learnMore":"और ज़्यादा जानें","codex.windowsSandboxBanner.content":"एजेंट मोड, फ़ाइल सिस्टम और नेटवर्क एक्सेस को सीमित करने के लिए Windows पर एक एक्सपेरिमेंटल सैंडबॉक्स का इस्तेमाल करता है. {sandboxLink}","codex.windowsSandboxBanner.title":"एजेंट मोड के लिए सैंडबॉक्स को इनेबल करें","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows सेटिंग्स","codexUpgradeModal.body":"हमारा लेटेस्ट एड्वांस्ड एजेंटिक कोडिंग मॉडल — ज्यादा स्मार्ट, तेज़, और आम टेक्निकल कामों में ज्यादा काबिल. {link}","codexUpgradeModal.close":"बंद करें","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"और ज़्यादा जानें","codexUpgradeModal.title":"पेश है GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex को अभी आज़माएँ","codexUpgradeModal.useExistingModel":"मौजूदा मॉडल के साथ जारी रखें","commentAttachments.numComments":"{count, plural, one {# कमेंट} other {# कमेंट्स}}","commentAttachments.removeAriaLabel":"कमेंट्स अटैचमेंट हटाएं","common.close":"बंद करें","composer.addContext.openFilePickerError":"फ़ाइल पिकर नहीं खोल पाए","composer.addContextDropdown.ariaLabel":"फ़ाइलों को जोड़ें और भी बहुत कुछ करें","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"फ़ाइलों को जोड़ें और भी बहुत कुछ करें","composer.addPhotosAndFiles":"फ़ोटो और फ़ाइलें जोड़ें","composer.atMentionList.emptyQuery":"फ़ाइलें सर्च करने के लिए टाइप करें","composer.atMentionList.loading":"फ़ाइलें सर्च की जा रही हैं...","composer.atMentionList.noResults":"कोई रिज़ल्ट्स नहीं","composer.attemptsSelector.option":"{count, plural, one {# वर्ज़न} other {# वर्ज़न}}","composer.attemptsSelector.tooltip":"Codex द्वारा पैरेलल एटेम्पट्स की संख्या","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"{count, plural, one {# टर्मिनल} other {# टर्मिनल्स}} को रन किया जा रहा है","composer.backgroundTerminals.stop":"बंद करें","composer.cleanBackgroundTerminals.error":"बैकग्राउंड टर्मिनल्स को बंद नहीं कर किया जा सका.","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"लोकल","composer.cloudFollowUp.whereRun":"ये फ़ॉलो-अप कार्रवाई कहां रन होनी चाहिए?","composer.cloudTaskCreationError":"क्लाउड टास्क बनाते समय एरर","composer.cloudTaskError":"टास्क बनाने में एरर","composer.contextWindow.autoCompactionTooltipLine1":"Codex अपने आप अपने कॉन्टेक्स्ट को छोटा करता है","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"कॉन्टेक्स्ट विंडो:","composer.contextWindowUsageStatusFull":"{usage}% फ़ुल","composer.contextWindowUsageStatusLeft":"{usage}% इस्तेमाल किया गया ({remaining}% बाकी)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k इस्तेमाल किया गया","composer.customCliTooltip":"कस्टम CLI एक्सीक्यूटेबल का इस्तेमाल किया जा रहा है","composer.dictation.aria":"डिक्टेट करें","composer.dictation.cancel.aria":"डिक्टेशन बंद करें","composer.dictation.cancel.tooltip":"डिक्टेशन बंद करें","composer.dictation.startError":"डिक्टेशन शुरू नहीं हो पाया","composer.dictation.submit.aria":"ट्रांसक्राइब करें और भेजें","composer.dictation.submit.tooltip":"ट्रांसक्राइब करें और भेजें","composer.dictation.tooltip":"डिक्टेट करने के लिए दबा कर रखें","composer.dictation.transcribeError":"ऑडियो को ट्रांसक्राइब नहीं हो पाया","composer.dictation.unsupported":"इस डिवाइस पर डिक्टेशन की सुविधा उपलब्ध नहीं है.","composer.dropOverlay.holdShift":"ड्रॉप करने के लिए {key} को दबाए रखें","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"नया बनाएं","composer.environmentSelector.error":"एन्वायर्नमेंट्स को लोड करते समय एरर","composer.environmentSelector.goBack":"कम्पोज़र पर वापस जाएं","composer.environmentSelector.title":"एन्वायर्नमेंट चुनें","composer.environmentSelector.tooltip":"एक क्लाउड एन्वायर्नमेंट चुनें","composer.feedbackSlashCommand.title":"फ़ीडबैक","composer.filePicker.selectFile":"एक फ़ाइल चुनें","composer.filePicker.selectFiles":"फ़ाइलें चुनें","composer.followerTooltip":"आगे जारी रखने के लिए, उस विंडो पर वापस जाएं जहां से ये बातचीत शुरू हुई थी.","composer.footer.branchSwitch.checkoutError":"ब्रांच को स्विच नहीं कर पाए: {message}","composer.footer.branchSwitch.createAndCheckout":"नई ब्रांच बनाएँ और चेकआउट करें…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"एक नई ब्रांच बनाने और चेकआउट करने के लिए बदलावों को कमिट करें","composer.footer.branchSwitch.createBranchError":"ब्रांच नहीं बनाई जा सकी: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ब्रांच का नाम","composer.footer.branchSwitch.createDialog.branchExistsError":"ब्रांच पहले से मौजूद है.","composer.footer.branchSwitch.createDialog.close":"बंद करें","composer.footer.branchSwitch.createDialog.createAndCheckout":"बनाएँ और चेकआउट करें","composer.footer.branchSwitch.createDialog.placeholder":"नई-ब्रांच","composer.footer.branchSwitch.createDialog.title":"ब्रांच बनाएँ और चेकआउट करें","composer.footer.branchSwitch.createDialog.trailingSlashError":"ब्रांच के नाम के आखिर में “/” नहीं होना चाहिए.","composer.footer.branchSwitch.tooltip":"ब्रांच बदलें","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} को चेक आउट करने के लिए {fileCount, plural, one {# फ़ाइल} other {# फ़ाइलें}} में किए गए बदलावों को सेव करें.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"कमिट","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} को चेक आउट करने के लिए {fileCount, plural, one {# फ़ाइल} other {# फ़ाइलें}} में किए गए बदलाव.","composer.footer.branchSwitch.uncommittedDialog.cancel":"कैंसल करें","composer.footer.branchSwitch.uncommittedDialog.commit":"कमिट करें और ब्रांच बदलें…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"चेकआउट के दौरान इन फ़ाइलों में आपके द्वारा किए गए बदलाव ओवरराइट हो जाएंगे:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"कृपया जारी रखने के लिए अपने बदलावों को सेव करें","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"चुनी गई ब्रांच","composer.footer.branchSwitch.uncommittedDialog.title":"ब्रांच बदलने के लिए में किए गए बदलावों को सेव करें","composer.footer.branchSwitch.uncommittedSummaryPrefix":"कमिट नहीं किए गए: {fileCount, plural, one {# फ़ाइल} other {# फ़ाइलें}}","composer.forkSlashCommand.description":"इस थ्रेड को लोकल या एक नई वर्कट्री में फ़ोर्क करें","composer.forkSlashCommand.option.local.description":"एक नए लोकल थ्रेड में जारी रखें","composer.forkSlashCommand.option.local.title":"लोकल में फ़ोर्क करें","composer.forkSlashCommand.option.worktree.description":"एक नई वर्कट्री में जारी रखें","composer.forkSlashCommand.option.worktree.title":"नई वर्कट्री में फ़ोर्क करें","composer.forkSlashCommand.title":"फ़ोर्क","composer.ideContextIndicator":"IDE कॉन्टेक्स्ट","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE से कॉन्टेक्स्ट शामिल करें, जैसे कि {br}सिलेक्शन स्टेट और फ़ाइलें खोलें.","composer.ideContextIndicator.tooltipToggle":"टॉगल करने के लिए","composer.ideContextSlashCommand.disableDescription":"IDE कॉन्टेक्स्ट बंद करें","composer.ideContextSlashCommand.enableDescription":"अपने IDE से मौजूदा सिलेक्शन, खुली हुई फ़ाइलें, और दूसरा कॉन्टेक्स्ट शामिल करें","composer.ideContextSlashCommand.title":"IDE कॉन्टेक्स्ट","composer.imageInputsUnsupported":"यह मॉडल इमेज इनपुट को सपोर्ट नहीं करता है. कृपया कोई दूसरा मॉडल आजमाएँ.","composer.imageUploadFailed":"इमेज अपलोड नहीं कर पाए","composer.includeIdeContextDropdown":"IDE कॉन्टेक्स्ट शामिल करें","composer.includeIdeContextDropdown.ariaLabel":"IDE कॉन्टेक्स्ट शामिल करें","composer.localCwdDropdown.addWorkspaceRoot":"नया प्रोजेक्ट जोड़ें","composer.localCwdDropdown.noActiveRoot":"अपना प्रोजेक्ट चुनें","composer.localCwdDropdown.noResults":"कोई फ़ोल्डर नहीं मिला","composer.localCwdDropdown.title":"अपना प्रोजेक्ट चुनें","composer.localTaskError":"बातचीत शुरू करने में एरर","composer.mcpSlashCommand.description":"MCP सर्वर स्टेटस दिखाएं","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ऑथेंटिकेट नहीं किया गया","composer.mcpStatus.authOauth":"ऑथेंटिकेट किया गया (OAuth)","composer.mcpStatus.authToken":"ऑथेंटिकेट किया गया (API की)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"बंद करें","composer.mcpStatus.disabled":"डिसेबल किया गया","composer.mcpStatus.emptyLabel":"सर्वर:","composer.mcpStatus.emptyValue":"कोई MCP सर्वर कॉन्फ़िगर नहीं किया गया है","composer.mcpStatus.enabled":"इनेबल करें","composer.mcpStatus.errorLabel":"स्टेटस:","composer.mcpStatus.errorValue":"MCP स्टेटस लोड नहीं कर पाए","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"एजेंट","composer.mode.agentMode.auto.dropdownLabel":"एजेंट","composer.mode.agentMode.auto.optionLabel":"एजेंट","composer.mode.agentMode.changePermission":"स्विच मोड","composer.mode.agentMode.custom":"कस्टम","composer.mode.agentMode.custom.dropdownLabel":"कस्टम","composer.mode.agentMode.custom.option":"कस्टम (config.toml)","composer.mode.agentMode.custom.optionLabel":"कस्टम (config.toml)","composer.mode.agentMode.customInfo.cancel":"कैंसल करें","composer.mode.agentMode.customInfo.cli":"आप उन सेटिंग्स को CLI से या सीधे फ़ाइल को एडिट करके एडजस्ट कर सकते हैं.","composer.mode.agentMode.customInfo.confirm":"कस्टम मोड का इस्तेमाल करें","composer.mode.agentMode.customInfo.description":"कस्टम मोड आपके में डिफ़ाइन किए गए अप्रूवल और सैंडबॉक्स पॉलिसियों को लागू करता है<link>config.toml</link>फ़ाइल.","composer.mode.agentMode.customInfo.docs":"अप्रूवल और सैंडबॉक्स पॉलिसियों को कॉन्फ़िगर करने के बारे में और ज़्यादा जानें<link>एक्सीक्यूशन एन्वायर्नमेंट डॉक्स</link>.","composer.mode.agentMode.customInfo.refresh":"कोई भी बदलाव अगली बार एजेंट के रन करने पर प्रभावी होगा.","composer.mode.agentMode.customInfo.title":"कस्टम मोड कैसे काम करता है","composer.mode.agentMode.fullAccess":"एजेंट (पूरी एक्सेस)","composer.mode.agentMode.fullAccess.dropdownLabel":"एजेंट (पूरी एक्सेस)","composer.mode.agentMode.fullAccess.optionLabel":"एजेंट (पूरी एक्सेस)","composer.mode.agentMode.fullAccessConfirm.caution":"पूरी एक्सेस इनेबल करते समय सावधानी बरतें. इससे डेटा खो जाने, लीक होने, या सिस्टम के गलत काम करने का खतरा बहुत बढ़ जाता है.","composer.mode.agentMode.fullAccessConfirm.confirm":"हां, फ़िर भी जारी रखें","composer.mode.agentMode.fullAccessConfirm.description":"जब Codex पूरी एक्सेस के साथ रन करता है, तो ये आपके कंप्यूटर पर किसी भी फ़ाइल को एडिट कर सकता है और आपकी मंज़ूरी के बिना नेटवर्क के साथ कमांड्स रन कर सकता है.","composer.mode.agentMode.fullAccessConfirm.goBack":"कैंसल करें","composer.mode.agentMode.fullAccessConfirm.title":"पूरी एक्सेस इनेबल करें?","composer.mode.agentMode.readOnly":"चैट","composer.mode.agentMode.readOnly.dropdownLabel":"चैट","composer.mode.agentMode.readOnly.optionLabel":"चैट","composer.mode.agentMode.tooltip":"स्विच मोड","composer.mode.agentMode.tooltip.auto":"फ़ाइलें पढ़ें और एडिट करें, और कमांड्स रन करें.","composer.mode.agentMode.tooltip.custom":"config.toml में डिफ़ाइन किए गए लेटेस्ट अप्रूवल और सैंडबॉक्स पॉलिसियों का इस्तेमाल करें.","composer.mode.agentMode.tooltip.fullAccess":"Codex प्रोजेक्ट के बाहर की फ़ाइलों को एडिट कर सकता है और नेटवर्क एक्सेस के साथ कमांड रन कर सकता है. इस्तेमाल करते समय सावधानी बरतें.","composer.mode.agentMode.tooltip.readOnly":"फ़ाइलों को एडिट करने और कमांड्स रन करने के लिए अप्रूवल की ज़रुरत होती है.","composer.mode.cloud.tooltip":"एक क्लाउड एन्वायर्नमेंट में काम करें","composer.mode.contactAdmin":"और ज़्यादा एक्सेस पाने के लिए, अपने एडमिन से संपर्क करें","composer.mode.local":"लोकल","composer.mode.local.learnMore":"और ज़्यादा जानें","composer.mode.local.model.custom":"कस्टम","composer.mode.local.model.loadingModel":"मॉडल लोड किया जा रहा है","composer.mode.local.model.selecrReasoningEffort":"रीज़निंग सिलेक्ट करें","composer.mode.local.model.selectModel":"मॉडल चुनें","composer.mode.local.model.tooltip":"मॉडल चुनें","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"उच्च","composer.mode.local.reasoning.low.label":"कम","composer.mode.local.reasoning.medium.label":"मध्यम","composer.mode.local.reasoning.minimal.label":"कम से कम","composer.mode.local.reasoning.none.label":"कोई नहीं","composer.mode.local.reasoning.xhigh.label":"एक्स्ट्रा हाई","composer.mode.localRemoteWhereRun":"चुनें कि टास्क कहां रन की जाए","composer.mode.newTask.header":"इसमें जारी रखें","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"रेट लिमिट बाकी हैं","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} लिमिट","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {वीकली लिमिट} other {{weeks} वीकली लिमिट}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {हर सप्ताह} other {{weeks} हफ़्ता}}","composer.mode.remote.connectToCloud":"Codex वेब कनेक्ट करें","composer.mode.remote.connectToCloudDisabledTooltip":"क्लाउड पर टास्क भेजना इनेबल करने के लिए Codex वेब के ज़रिये एक एन्वायर्नमेंट सेट अप करें","composer.mode.remote.selectEnvironment":"एन्वायर्नमेंट चुनें","composer.mode.remote.sendToCloud":"क्लाउड पर भेजें","composer.mode.remote.setupViaWeb":"Codex वेब के ज़रिये एक एन्वायर्नमेंट सेटअप करें","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"क्लाउड · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"क्लाउड एन्वायर्नमेंट में काम करें","composer.mode.segmentedToggle.local.tooltip":"अपने लोकल प्रोजेक्ट में काम करें","composer.mode.segmentedToggle.worktree.tooltip":"एक पैरेलल वर्कट्री में काम करें","composer.mode.upgradeToPlus":"Plus में अपग्रेड करें","composer.mode.upgradeToPro":"Pro में अपग्रेड करें","composer.mode.workLocally":"लोकल प्रोजेक्ट","composer.mode.workLocally.currentBranchFallback":"आपकी ब्रांच","composer.mode.workLocally.tooltip":"{branchName} पर काम","composer.mode.worktree":"नई वर्कट्री","composer.mode.worktree.submoduleWarning":"इस रिपो में git सबमॉड्यूल्स हैं. वर्कट्री बनाना फ़ेल हो सकता है","composer.mode.worktree.tooltip":"पैरेलल में काम करने के लिए अपने लोकल प्रोजेक्ट की एक कॉपी बनाएं","composer.mode.worktreeSegment":"वर्कट्री","composer.modelChangeDuringConversationWarning.toast":"बातचीत के बीच में मॉडल्स बदलने से परफ़ॉर्मेंस खराब हो जाएगा.","composer.newChat.heading.browser":"हमें आगे क्या कोड करना चाहिए?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex config.toml में डिफ़ाइन की गई परमिशन का इस्तेमाल करता है.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex के पास आपके कंप्यूटर पर पूरी एक्सेस है (बढ़ा हुआ रिस्क).","composer.permissionsDropdown.custom.label":"कस्टम (config.toml)","composer.permissionsDropdown.custom.optionLabel":"कस्टम (config.toml)","composer.permissionsDropdown.default.label":"डिफ़ॉल्ट परमिशन्स","composer.permissionsDropdown.default.optionLabel":"डिफ़ॉल्ट परमिशन्स","composer.permissionsDropdown.default.tooltip":"Codex अपने आप एक सैंडबॉक्स में कमांड्स रन करता है.","composer.permissionsDropdown.disabled.requirements":"परमिशन्स requirements.toml द्वारा लॉक की गई हैं","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml द्वारा फ़ुल एक्सेस डिसेबल कर दी गई है","composer.permissionsDropdown.fullAccess.label":"पूरी एक्सेस","composer.permissionsDropdown.fullAccess.optionLabel":"पूरी एक्सेस","composer.permissionsDropdown.trigger.tooltip":"परमिशन्स बदलें","composer.personalitySlashCommand.description.friendly":"दोस्ताना, कोलैबोरेटिव, और मददगार","composer.personalitySlashCommand.description.pragmatic":"कम शब्दों में, टास्क पर फ़ोकस्ड, और डायरेक्ट","composer.personalitySlashCommand.label.friendly":"फ़्रेंडली","composer.personalitySlashCommand.label.pragmatic":"व्यावहारिक","composer.personalitySlashCommand.notApplicableSuffix":"(यह मौजूदा मॉडल पर लागू नहीं होता है)","composer.personalitySlashCommand.title":"पर्सनैलिटी","composer.placeholder.cloudFollowUp.directFollowUp":"इस क्लाउड टास्क के लिए फ़ॉलो-अप करें","composer.placeholder.cloudFollowUp.local":"एक नई लोकल टास्क बनाएं जो इस क्लाउड टास्क को रेफ़रेंस करती हो","composer.placeholder.cloudFollowUp.workingTree":"एक नई क्लाउड टास्क बनाएं जिसमें आपका मौजूदा कोड शामिल हो और जो इस टास्क को रेफ़रेंस करेगी","composer.placeholder.localFollowUp.cloud":"एक नए क्लाउड टास्क में फ़ॉलो-अप करें","composer.placeholder.localFollowUp.locally":"फ़ॉलो-अप बदलावों के लिए पूछें","composer.placeholder.newTask.cloud":"Codex से क्लाउड में कुछ भी करने के लिए कहें","composer.placeholder.newTask.doAnything":"Codex से कुछ भी करने को कहें","composer.placeholder.newTask.locally":"Codex से कुछ भी पूछें, फ़ाइलें जोड़ने के लिए, / कमांड्स के लिए @ का इस्तेमाल करें.","composer.planModeDropdown":"प्लैन मोड","composer.planModeDropdown.ariaLabel":"प्लैन मोड","composer.planModeIndicator":"प्लान","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex के साथ एक प्लैन बनाएँ","composer.planModeIndicator.tooltipToggle":"टॉगल करने के लिए","composer.planSlashCommand.disableDescription":"प्लैन मोड बंद करें","composer.planSlashCommand.enableDescription":"प्लैन मोड चालू करें","composer.planSlashCommand.title":"प्लैन मोड","composer.priorContext.label":"पिछला कॉन्टेक्स्ट","composer.priorContext.removeAriaLabel":"पिछला कॉन्टेक्स्ट हटाएं","composer.queuedMessage.delete":"कतार में डाले गए मेसेज डिलीट करें","composer.queuedMessage.edit":"मैसेज को एडिट करें","composer.queuedMessage.more":"कतार में डाले गए मेसेज एक्शन्स","composer.queuedMessage.sendNow":"स्टीयर करें","composer.queuedMessage.sendNowTooltip":"काम में रुकावट डाले बिना अभी भेजें","composer.queuedMessage.turnOff":"कतार बंद करें","composer.reasoningEffort.local.reasoning.tooltip":"रीज़निंग की कोशिश सिलेक्ट करें","composer.remote.branchStartingPoint":"यह टास्क किस ब्रांच से शुरू होना चाहिए?","composer.remote.branchesSectionHeading":"शाखाएं","composer.remote.currentEditsSuffix.followUp":"एक नया टास्क बनाएं जो इस क्लाउड टास्क को रेफ़रेंस करता हो.","composer.remote.currentEditsSuffix.useLocal":"लोकल कोड के बदलावों के साथ","composer.remote.directFollowUp":"लोकल बदलावों का इस्तेमाल न करें","composer.remote.errorLoadingBranches":"ब्रांच लोड करने में एरर","composer.remote.fromBranch":"{branch} से","composer.remote.fromCurrentBranch":"से{branch} (मौजूदा) ","composer.remote.loadingMoreBranches":"लोड किया जा रहा है...","composer.remote.localFileStateHeading":"लोकल फ़ाइल स्टेट","composer.remote.localWorkingTree":"लोकल बदलावों का इस्तेमाल करें","composer.remote.startingPoint":"ये टास्क किस कोड से शुरू होना चाहिए?","composer.reviewMode.branches.error":"ब्रांच लोड नहीं कर पाए","composer.reviewMode.branches.retry":"दोबारा कोशिश करें","composer.reviewMode.gitRoot.error":"Git रूट नहीं मिला","composer.reviewMode.option.baseBranch.simple":"एक बेस ब्रांच के साथ रिव्यू करें","composer.reviewMode.option.unstaged.simple":"जो बदलाव सेव नहीं हुए उन्हें देखें","composer.reviewMode.quickReviewError":"कोड रिव्यु शुरू नहीं कर पाए.","composer.reviewMode.title":"कोड रिव्यु","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml द्वारा फ़ुल एक्सेस डिसेबल कर दी गई है","composer.sandboxButton.windowsSandboxDialog.content":"Codex Windows पर एक्सपेरिमेंटल सैंडबॉक्स का इस्तेमाल करके फ़ाइल सिस्टम और नेटवर्क एक्सेस को कम कर सकता है. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows सैंडबॉक्स को इनेबल करें?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"सिर्फ़-पढ़ने के लिए इस्तेमाल करें","composer.searchEnvironments":"एन्वायर्नमेंट्स सर्च करें","composer.skillMentionList.app":"ऐप","composer.skillMentionList.appLogoAlt":"{name} लोगो","composer.skillMentionList.loading":"स्किल्स लोड की जा रही हैं...","composer.skillMentionList.noResults":"कोई स्किल्स नहीं मिलीं","composer.slashCommands.cloudEnvironment.title":"क्लाउड एन्वायर्नमेंट","composer.slashCommands.dialogLabel":"Slash कमांड मेनू","composer.slashCommands.dialogTitle":"Slash कमांड्स","composer.slashCommands.disabledTooltip":"Slash कमांड का इस्तेमाल करने के लिए एक नई बातचीत शुरू करें","composer.slashCommands.inputPlaceholder":"सर्च करें","composer.slashCommands.noResults":"कोई कमांड्स नहीं","composer.slashCommands.skillsGroup":"स्किल्स","composer.slashCommands.tooltip":"Slash कमांड्स ब्राउज़ करें","composer.status.close":"बंद करें","composer.statusPlain.alertLabel":"अलर्ट:","composer.statusPlain.alertValue":"{window} पर {remaining}% बाकी","composer.statusPlain.contextLabel":"कॉन्टेक्स्ट:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} इस्तेमाल किए गए / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% बाकी","composer.statusPlain.heading":"स्टेटस","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} लिमिट","composer.statusPlain.rateLimitDays":"{count}d लिमिट","composer.statusPlain.rateLimitFallbackLabel":"रेट लिमिट:","composer.statusPlain.rateLimitHours":"{count}h लिमिट","composer.statusPlain.rateLimitLabelBase":"रेट लिमिट","composer.statusPlain.rateLimitMinutes":"{count}m लिमिट","composer.statusPlain.rateLimitPercent":"{remaining}% बाकी","composer.statusPlain.rateLimitReset":"{time} को रीसेट करता है","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"रीसेट समय उपलब्ध नहीं है","composer.statusPlain.rateLimitUnavailable":"उपलब्ध नहीं है","composer.statusPlain.sessionCopiedAriaLabel":"कॉपी की गई सेशन आईडी","composer.statusPlain.sessionCopiedTooltip":"कॉपी की गई ID","composer.statusPlain.sessionCopyAriaLabel":"सेशन आईडी कॉपी करें","composer.statusPlain.sessionCopyTooltip":"ID कॉपी करें","composer.statusPlain.sessionLabel":"सेशन:","composer.statusSlashCommand.description":"थ्रेड आईडी, कॉन्टेक्स्ट यूसेज, और रेट लिमिट्स दिखाएं","composer.statusSlashCommand.title":"स्टेटस","composer.submit.blockedDialogOk":"ठीक है","composer.submit.blockedDialogTitle":"मेसेज नहीं भेज पाए","composer.submit.emptyMessage":"शुरू करने के लिए एक मेसेज लिखें","composer.submit.imageInputsUnsupported":"इस मेसेज को भेजने के लिए इमेजेज़ को हटा दें या मॉडल्स बदलें.","composer.submit.loadingLocalConfig":"लोड किया जा रहा है...","composer.submit.missingCloudConfig":"आपको एक क्लाउड एन्वायर्नमेंट चुनना होगा","composer.submit.missingCloudTurn":"इस टास्क पर फ़ॉलो-अप नहीं किया जा सकता","composer.submit.noWorkspace":"Codex का इस्तेमाल करने के लिए एक प्रोजेक्ट जोड़ें","composer.submit.waitForImageUploads":"इमेजेज़ अपलोड हो रहे हैं...","composer.submitButtonTooltip.send":"भेजें","composer.submitButtonTooltip.stop":"बंद करें","composer.worktreeEnvironment.create":"लोकल एन्वायर्नमेंट्स बनाएं","composer.worktreeEnvironment.default":"डिफ़ॉल्ट एन्वायर्नमेंट","composer.worktreeEnvironment.error":"एन्वायर्नमेंट्स को लोड करते समय एरर","composer.worktreeEnvironment.loading":"एन्वायर्नमेंट्स लोड किए जा रहे हैं...","composer.worktreeEnvironment.title":"लोकल एन्वायर्नमेंट","composer.worktreeEnvironment.tooltip":"एक लोकल एन्वायर्नमेंट चुनें","composer.worktreeSetupFailed":"वर्कट्री सेटअप फ़ेल हो गया. कृपया एक सेटअप स्क्रिप्ट के लिए .codex/environments देखें.","compoundButton.secondaryAction":"सेकेंडरी एक्शन","copyButton.copied":"कॉपी हो गया","copyButton.copiedAriaLabel":"कॉपी हो गया","copyButton.copy":"कॉपी करें","copyButton.copyAriaLabel":"कॉपी करें","copyButton.copyCode":"कोड कॉपी करें","diff.actionButton.revertFile":"फ़ाइल उलट दें","diff.actionButton.revertHunk":"उलट दें","diff.actionButton.revertSection":"सभी को उलट दें","diff.actionButton.revertSectionLabel":"सभी को उलट दें","diff.actionButton.stageFile":"फ़ाइल को स्टेज करें","diff.actionButton.stageHunk":"स्टेज करें","diff.actionButton.stageSection":"सभी को स्टेज करें","diff.actionButton.stageSectionLabel":"सभी को स्टेज करें","diff.actionButton.unstageFile":"फ़ाइल को अनस्टेज करें","diff.actionButton.unstageHunk":"अनस्टेज करें","diff.actionButton.unstageSection":"सभी को अनस्टेज करें","diff.actionButton.unstageSectionLabel":"सभी को अनस्टेज करें","diff.fileHeader.toggle":"फ़ाइल डिफ़ टॉगल करें","electron.onboarding.login.apikey.cancel":"कैंसल करें","electron.onboarding.login.apikey.continue":"जारी रखें","electron.onboarding.login.apikey.label":"OpenAI API की","electron.onboarding.login.apikey.open":"API की डालें","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"साइन-इन कैंसल करें","electron.onboarding.login.chatgpt.continue":"ChatGPT के साथ जारी रखें","electron.onboarding.login.devbox":"एक रिमोट SSH से कनेक्ट करें","electron.onboarding.login.error":"साइन-इन नहीं हो पाया: {rawMessage}","electron.onboarding.login.snake.start":"स्नेक खेलें","electron.onboarding.login.sshConfig.cancel":"कैंसल करें","electron.onboarding.login.sshConfig.continue":"जारी रखें","electron.onboarding.login.sshConfig.hostnameLabel":"SSH होस्टनेम","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"एजेंट्स के साथ बिल्ड करने का सबसे बढ़िया तरीका","electron.onboarding.login.title":"Codex में आपका स्वागत है","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"जारी रखें","electron.onboarding.welcome.doubleLimits.description":"Codex ऐप लॉन्च के जश्न में, आपको 2 अप्रैल तक 2× रेट लिमिट्स मिलेगी.","electron.onboarding.welcome.freego.description":"Codex 2 मार्च तक मुफ़्त में आपके प्लैन में शामिल है – आइए साथ मिलकर बनाना शुरू करते हैं.","electron.onboarding.welcome.new.title.anon":"स्वागत है!","electron.onboarding.workspace.continue":"जारी रखें","electron.onboarding.workspace.empty":"जारी रखने के लिए एक प्रोजेक्ट जोड़ें.","electron.onboarding.workspace.listLabel":"उपलब्ध प्रोजेक्ट्स","electron.onboarding.workspace.loading":"प्रोजेक्ट्स को लोड किए जा रहे हैं...","electron.onboarding.workspace.openFolder":"प्रोजेक्ट डालें","electron.onboarding.workspace.selectAll":"सभी को सिलेक्ट करें","electron.onboarding.workspace.skip":"छोड़ें","electron.onboarding.workspace.skip.error":"एक नया प्रोजेक्ट नहीं बनाया जा सका: {message}","electron.onboarding.workspace.skip.error.unknown":"अनजान एरर","electron.onboarding.workspace.skipping":"एक नया प्रोजेक्ट बनाया जा रहा है…","electron.onboarding.workspace.subtitle":"Codex चुनिंदा फ़ोल्डर्स में फ़ाइलों को एडिट कर पाएगा और कमांड रन कर पाएगा.","electron.onboarding.workspace.title":"एक प्रोजेक्ट चुनें","errorPage.list.checkSettings":"अपनी IDE सेटिंग्स को अपडेट करने की कोशिश करें","errorPage.list.configToml":"अपनी config.toml फाइल में गलत सेटिंग्स के लिए चेक करें","errorPage.list.downloadExtension":"एक्सटेंशन का कोई दूसरा वर्ज़न डाउनलोड करने की कोशिश करें","errorPage.list.runInWsl":"अगर आपको कम्पैटिबिलिटी से जुड़ी समस्याएं दिख रही हैं, तो WSL में रन करने को डिसेबल करने के लिए अपनी सेटिंग्स चेक करें","execApprovalRequest.menu.runAlways":"जी हां, और इस सेशन में दोबारा मत पूछना","execApprovalRequest.menu.runAlwaysWithAmendment":"हाँ, और {command} से शुरू होने वाले कमांड्स के लिए दोबारा मत पूछना","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"हाँ, और इससे शुरू होने वाले कमांड्स के बारे में दोबारा मत पूछना","execApprovalRequest.menu.runOnce":"हाँ","execApprovalRequest.prompt":"क्या आप इस कमांड को रन करना चाहते हैं?","execApprovalRequest.reject":"नहीं","execFooter.exitCode":"एग्ज़िट कोड {code}","execFooter.exitCode.unknown":"अनजान","execFooter.success":"हो गया","feedback.dialog.category.badResult":"बुरा रिज़ल्ट","feedback.dialog.category.bug":"बग","feedback.dialog.category.goodResult":"अच्छा रिज़ल्ट","feedback.dialog.category.other":"और भी बहुत कुछ","feedback.dialog.category.safetyCheck":"सुरक्षा जांच","feedback.dialog.descriptionPlaceholder":"समस्या के बारे में यहां बताएं","feedback.dialog.dismiss":"हटा दें","feedback.dialog.includeLogsLabel":"मौजूदा Codex सेशन लॉग शामिल करें","feedback.dialog.submit":"सबमिट करें","feedback.dialog.submitError":"हम आपका फ़ीडबैक सबमिट नहीं कर सके. कृपया कुछ देर बाद दोबारा कोशिश करें.","feedback.dialog.title":"फ़ीडबैक","feedback.dialog.uploadedMessage.existingIssue":"मौजूदा खुला मामला","feedback.dialog.uploadedMessage.openIssue":"एक GitHub मामला खोलें","feedback.dialog.uploadedMessage.withThread":"फ़ीडबैक अपलोड किया गया. अगर समस्या बनी रहती है, तो कृपया {openIssueLink} या एक {existingIssueLink} में थ्रेड id बताएं:","feedback.dialog.uploadedTitle":"फ़ीडबैक अपलोड किया गया","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} हटाएँ","header.back":"पीछे जाएँ","header.recentChats":"कार्य","header.recentTasks.seeAll":"सभी ({total}) को देखें","home.header.getPlus":"Plus आज़माएँ","home.hero.letsBuild":"आइए बनाते हैं","homePage.mainContent":"मुख्य कंटेंट","imageAttachment.defaultName":"इमेज","imageAttachment.preview.close":"इमेज प्रीव्यू बंद करें","imageAttachment.removeAriaLabel":"{filename} हटाएँ","implementPlanRequest.option.implement":"जी हां, इस प्लैन को लागू करें","implementPlanRequest.prompt":"इस प्लैन को लागू करें?","inbox.archived.deleteError":"आर्काइव किया गया रन डिलीट नहीं किया जा सका","inbox.archived.deleteRun":"आर्काइव किया गया रन डिलीट करें","inbox.archived.deleteSuccess":"आर्काइव किया गया थ्रेड डिलीट कर दिया गया है. <settingsLink>आर्काइव किए गए थ्रेड्स</settingsLink> में देखें.","inbox.archived.inlineLabel.auto":"यह थ्रेड अपने आप आर्काइव हो गया था. <learnMoreLink>और ज़्यादा जानें</learnMoreLink>","inbox.archived.inlineLabel.manual":"ये थ्रेड आर्काइव किया गया था.","inbox.archived.noMessageFound":"कोई मेसेज नहीं मिला","inbox.automations.createError":"ऑटोमेशन नहीं बनाया जा सका","inbox.automations.deleteConfirm.cancel":"कैंसल करें","inbox.automations.deleteConfirm.confirm":"ऑटोमेशन को डिलीट करें","inbox.automations.deleteConfirm.description":"इससे ऑटोमेशन हमेशा के लिए डिलीट हो जाएगा और आगे के इसके सभी रन बंद हो जाएंगे.","inbox.automations.deleteConfirm.title":"{name} को डिलीट करें?","inbox.automations.deleteError":"ऑटोमेशन डिलीट नहीं किया जा सका","inbox.automations.editTooltip":"ऑटोमेशन एडिट करें","inbox.automations.inProgress":"चालू है","inbox.automations.new":"नया","inbox.automations.newToolbar":"नया ऑटोमेशन","inbox.automations.pauseTooltip":"ऑटोमेशन को रोकें","inbox.automations.resumeTooltip":"ऑटोमेशन को दोबारा चालू करें","inbox.automations.startingNow":"अभी शुरू किया जा रहा है","inbox.automations.startsIn":"{startTime} में शुरू होने वाला है","inbox.automations.status.active":"एक्टिव","inbox.automations.status.paused":"रोका गया","inbox.automations.status.runs":"{count} रन्स","inbox.automations.status.started":"शुरू होने की तारीख {date}","inbox.automations.updateError":"ऑटोमेशन अपडेट नहीं किया जा सका","inbox.automations.workspaceFallback":"-","inbox.filter.all":"सभी","inbox.filter.ariaLabel":"इनबॉक्स आइटम्स फ़िल्टर करें","inbox.filter.unread":"नहीं पढ़े गए","inbox.list.archived":"आर्काइव किए गए","inbox.list.inProgress":"चालू है","inbox.list.recent":"पूरा हो गया","inbox.list.upNext":"शेड्यूल किया गया","inbox.mode.automations":"ऑटोमेशन्स","inbox.mode.automations.beta":"बीटा","inbox.noDescription":"कोई जानकारी नहीं दी गई","inbox.openThread":"थ्रेड ओपन करें","inbox.rightPanel.emptySubtitle":"शेड्यूल किए गए टास्क सेट अप करके काम को ऑटोमेट करें","inbox.rightPanel.emptySubtitle.learnMore":"शेड्यूल किए गए थ्रेड्स सेट अप करके काम को ऑटोमेट करें.<link>और ज़्यादा जानें</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# एक्टिव ऑटोमेशन} other {# एक्टिव ऑटोमेशन्स}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"कोई नहीं पढ़े हुए ऑटोमेशन्स नहीं","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# नहीं पढ़े हुए ऑटोमेशन्स} other {# नहीं पढ़े हुए ऑटोमेशन्स}}","inbox.rightPanel.emptyTitle":"कोई आइटम सिलेक्ट नहीं किया गया","inbox.rightPanel.noThread":"इस आइटम के लिए कोई थ्रेड मौजूद नहीं है","inbox.rightPanel.quickStart.header":"एक टेम्प्लेट से शुरू करें","inbox.untitled":"अनटाइटल्ड इन्बॉक्स आइटम","loadingPage.documentationLink":"डॉक्यूमेंटेशन","loadingPage.errorDescription":"Codex नीचे दिए गए एरर के साथ क्रैश हो गया:","loadingPage.errorDescription.documentation":"Codex एक्सटेंशन को रीस्टार्ट करने के लिए दोबारा लोड करें पर क्लिक करें, या अतिरिक्त मदद के लिए हमारी {documentationLink} पर जाएं.","loadingPage.errorSignal":"कुछ आज़माने लायक बातें:","loadingPage.errorTitle":"एक एरर हो गया है","loadingPage.openConfigToml":"Config.toml खोलें","loadingPage.reload":"दोबारा लोड करें","localConversation.contextCompacted":"कॉन्टेक्स्ट को अपने आप कॉम्पैक्ट किया गया","localConversation.contextCompacting":"अपने आप कॉन्टेक्स् को कॉम्पैक्ट किया जा रहा है","localConversation.finalAssistantMessageDivider":"फ़ाइनल मेसेज","localConversation.forkedFromConversation":"{threadTitle} से फ़ोर्क किया गया","localConversation.merge.autoResolve.failed":"ऑटो रिज़ॉल्व के लिए रिक्वेस्ट नहीं कर पाए: {error}","localConversation.merge.autoResolve.sent":"ऑटो रिज़ॉल्व रिक्वेस्ट भेजी गई","localConversation.merge.autoResolveMerge.missingConversation":"एक एक्टिव बातचीत के बिना ऑटो रिज़ॉल्व नहीं कर पा रहे हैं.","localConversation.merge.autoResolveMerge.request":"मर्ज विवादों को ऑटो रिज़ॉल्व करें","localConversation.modelChanged":"मॉडल {fromModel} से {toModel} में बदल गया.","localConversation.modelChanged.warning.line1":"बातचीत के बीच में मॉडल्स बदलने से परफ़ॉर्मेंस खराब हो जाएगा.","localConversation.modelChanged.warning.line2":"कॉन्टेक्स्ट अपने आप कॉम्पैक्ट हो सकता है.","localConversation.modelRerouted":"आपकी रिक्वेस्ट {toModel} पर भेज दी गई थी.","localConversation.modelRerouted.warning.line1":"ध्यान दें, साइबर-दुरुपयोग के रिस्क को कम करने के लिए आपकी रिक्वेस्ट को रीडायरेक्ट किया गया है.","localConversation.modelRerouted.warning.line2":"क्या आपको लगता है कि यह कोई गलती है? एक रिव्यु के लिए यहाँ रिक्वेस्ट करें<link>chatgpt.com/cyber</link>या /feedback के ज़रिये रिपोर्ट करें","localConversation.moveThread.createBranch.label":"ब्रांच बनाएं","localConversation.moveToLocal.disabled.branchCheckedOut":"यह ब्रांच पहले से ही किसी दूसरी वर्कट्री में चेक आउट हो चुकी है","localConversation.moveToLocal.disabled.loading":"लोड किया जा रहा है...","localConversation.moveToLocal.disabled.missingSourceHead":"वर्क ट्री HEAD कमिट को हल नहीं किया जा सका","localConversation.moveToLocal.disabled.noWorkspace":"इस वर्कट्री के लिए कोई लोकल वर्कस्पेस नहीं मिला","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"अभी आगे नहीं बढ़ पा रहे है. कृपया लोकल वर्कस्पेस की स्टेट चेक करके दोबारा कोशिश करें.","localConversation.moveToLocal.error.rollbackIssues":"रोलबैक मामले: {issues}","localConversation.moveToLocal.label":"लोकल पर मूव करें","localConversation.moveToLocal.loading.subtitle":"आपकी वर्कट्री में किए गए बदलावों को लोकल पर मूव किया जा रहा है…","localConversation.moveToLocal.loading.title":"लोकल पर मूव किया जा रहा है","localConversation.moveToLocal.modal.continue":"जारी रखें","localConversation.moveToLocal.modal.destinationLabel":" यहां मूव करें","localConversation.moveToLocal.modal.retry":"दोबारा कोशिश करें","localConversation.moveToLocal.modal.subtitle":"वर्कट्री की यह ब्रांच और कमिट नहीं किए गए बदलाव आपके लोकल चेकआउट में वापस भेज दिए जाएंगे.","localConversation.moveToLocal.modal.title":"लोकल पर मूव करें","localConversation.moveToWorktree.error.branchRequired":"वर्कट्री ब्रांच का नाम ज़रूरी है","localConversation.moveToWorktree.error.createWorktree":"वर्कट्री नहीं बना पाए: {message}","localConversation.moveToWorktree.error.move":"वर्कट्री में मूव नहीं कर पाए: {message}","localConversation.moveToWorktree.error.prepareBranch":"वर्कट्री ब्रांच  “{branch}” नहीं बना पाए: {message}","localConversation.moveToWorktree.error.rollbackIssues":"रोलबैक मामले: {issues}","localConversation.moveToWorktree.error.unknown":"वर्कट्री में मूव नहीं कर पाए. कृपया दोबारा कोशिश करें.","localConversation.moveToWorktree.label":"वर्कट्री पर मूव करें","localConversation.moveToWorktree.loading.subtitle":"आपकी वर्कट्री को सेट अप की जा रही है और लोकल बदलावों को मूव किया जा रहा है…","localConversation.moveToWorktree.loading.title":"वर्कट्री पर मूव किया जा रहा है","localConversation.moveToWorktree.modal.back":"पीछे जाएँ","localConversation.moveToWorktree.modal.branchAlreadyExists":"ब्रांच पहले से मौजूद है","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ब्रांच पहले से मौजूद है.","localConversation.moveToWorktree.modal.branchesError":"ब्रांच लोड नहीं कर पाए","localConversation.moveToWorktree.modal.branchesLoading":"ब्रांच लोड कीं जा रही हैं...","localConversation.moveToWorktree.modal.branchesRetry":"दोबारा कोशिश करें","localConversation.moveToWorktree.modal.continue":"जारी रखें","localConversation.moveToWorktree.modal.defaultBranchError":"वर्कट्री ब्रांच डिफ़ॉल्ट ब्रांच से अलग होनी चाहिए.","localConversation.moveToWorktree.modal.localBranchLabel":"लोकल ब्रांच","localConversation.moveToWorktree.modal.localBranchPlaceholder":"लोकल चेकआउट ब्रांच चुनें","localConversation.moveToWorktree.modal.noTargetBranch":"कोई दूसरी लोकल ब्रांच उपलब्ध नहीं हैं","localConversation.moveToWorktree.modal.retry":"दोबारा कोशिश करें","localConversation.moveToWorktree.modal.subtitle":"यह ब्रांच और इसमें किए गए सभी कमिट नहीं किए गए बदलाव एक वर्कट्री में मूव कर दिए जाएँगे. आपको इसकी जगह पर लोकल तरीके से एक अलग ब्रांच चेकआउट करनी होगी.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex इस थ्रेड के लिए एक नई वर्कट्री बनाएगा.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"वर्कट्री ब्रांच का एक नाम चुनें. Codex डिफ़ॉल्ट ब्रांच की जगह इसका इस्तेमाल करेगा.","localConversation.moveToWorktree.modal.subtitle.loading":"मौजूदा वर्कट्री खोजी जा रही है…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"इस ब्रांच को वर्कट्री में मूव कर दिया जाएगा. आपकी मौजूदा लोकल ब्रांच चेक आउट ही रहेगी.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex इस थ्रेड के लिए मौजूदा वर्कट्री का दोबारा इस्तेमाल करेगा.","localConversation.moveToWorktree.modal.title":"वर्कट्री पर मूव करें","localConversation.moveToWorktree.modal.trailingSlashError":"ब्रांच के नाम के आखिर में “/” नहीं होना चाहिए.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"वर्कट्री ब्रांच का नाम","localConversation.moveToWorktree.modal.worktreeBranchLabel":"वर्कट्री ब्रांच","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"नई-ब्रांच","localConversation.personalityChanged":"{personality} पर्सनैलिटी पर स्विच किया गया","localConversation.planSummary.collapse":"प्लैन समरी कोलैप्स करें","localConversation.planSummary.collapseTooltip":"कोलैप्स करें","localConversation.planSummary.download":"प्लैन डाउनलोड करें","localConversation.planSummary.expand":"प्लैन समरी एक्सपैंड करें","localConversation.planSummary.expandTooltip":"एक्सपैंड करें","localConversation.planSummary.openInNewWindow":"खोलें","localConversation.planSummary.openInNewWindow.tooltip":"नई विंडो में खोलें","localConversation.planSummary.title":"प्लान","localConversation.planSummary.titleWriting":"राइटिंग प्लैन","localConversation.planSummary.viewPlan":"प्लैन को एक्सपैंड करें","localConversation.previousMessagesSummary":"{count, plural, one {# पिछला मेसेज} other {# पिछले मेसेजेज़}}","localConversation.remoteTaskCreated":"Codex क्लाउड में {taskLink} बनाया गया","localConversation.remoteTaskCreated.task":"टास्क","localConversation.scrollToBottomButton":"नीचे तक स्क्रॉल करें","localConversation.sync.buttonLabel":"लोकल में हैंडऑफ़ करें...","localConversation.sync.buttonLabel.tooltip":"इस वर्कट्री और आपके लोकल चेकआउट के बीच बदलाव भेजें.","localConversation.sync.modal.loading.title":"बदलावों को हैंड ऑफ़ किया जा रहा है...","localConversation.sync.modal.noChanges":"कोई बदलाव नहीं","localConversation.syncSetup.branchAriaLabel":"ब्रांच का नाम","localConversation.syncSetup.branchName":"ब्रांच का नाम","localConversation.syncSetup.branchPlaceholder.existing":"मौजूदा ब्रांच चुनें","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ब्रांच लोड कीं जा रही हैं...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"पहले से ही चेक आउट किया हुआ है","localConversation.syncSetup.checkoutClean":"अभी {branchName} पर है","localConversation.syncSetup.checkoutDirty":"कमिट नहीं किए गए बदलावों के साथ अभी {branchName} पर है","localConversation.syncSetup.checkoutError":"ब्रांच को चेक आउट नहीं किया जा सका: {message}","localConversation.syncSetup.checkoutLabel":"अभी लोकल लेवल पर चेक आउट करें","localConversation.syncSetup.checkoutOnLocal":"लोकल में हैंडऑफ़ करें...","localConversation.syncSetup.checkoutPending":"लोकल स्टेटस चेक किया जा रहा है…","localConversation.syncSetup.checkoutUnavailable":"लोकल वर्कस्पेस उपलब्ध नहीं है","localConversation.syncSetup.checkoutUnknown":"लोकल ब्रांच उपलब्ध नहीं है","localConversation.syncSetup.continue":"जारी रखें","localConversation.syncSetup.createBranchError":"हैंडऑफ़ ब्रांच को सेट नहीं किया जा सका: {message}","localConversation.syncSetup.error":"कुछ गड़बड़ हो गई: {message}","localConversation.syncSetup.error.workingTreeMissing":"वर्कट्री का स्नैपशॉट नहीं लिया जा सका. कृपया हैंडऑफ़ करने की दोबारा कोशिश करें.","localConversation.syncSetup.mode.ariaLabel":"ब्रांच मोड चुनें","localConversation.syncSetup.mode.existing":"मौजूदा ब्रांच","localConversation.syncSetup.mode.new":"नई ब्रांच","localConversation.syncSetup.noBranches":"कोई ब्रांच नहीं मिली","localConversation.syncSetup.overwriteError":"ब्रांच बन गई है लेकिन पूरी तरह से हैंडऑफ़ नहीं की गई है. लोकल लेवल पर चेकआउट करने से पहले इसे मैन्युअल तरीके से हैंडऑफ़ करें.","localConversation.syncSetup.setPrefix":"प्रीफ़िक्स सेट करें","localConversation.syncSetup.subtitle":"वर्कट्री में किए गए बदलावों को लोकल लेवल पर टेस्ट और एडिट करें. <a>और ज़्यादा जानें</a>","localConversation.syncSetup.success.checkedOut":"ब्रांच बनाई गई और लोकल लेवल पर चेक आउट की गई","localConversation.syncSetup.success.notCheckedOut":"ब्रांच बनाई गई","localConversation.syncSetup.title":"एक लोकल ब्रांच को हैंडऑफ़ करें","localConversation.syncWorktreeError.branchAriaLabel":"ब्रांच का नाम","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"हैंड ऑफ़ किए जाने के लिए एक ब्रांच चुनें, फ़िर बदलावों को लोड करने की दोबारा कोशिश करें.","localConversation.syncWorktreeError.branchSetup.title":"ब्रांच अपडेट करें","localConversation.syncWorktreeError.branchUpdate.cta":"अपडेट करके दोबारा कोशिश करें ","localConversation.syncWorktreeError.branchUpdate.error":"ब्रांच को अपडेट नहीं कर पाए: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"कुछ गड़बड़ हो गई: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ब्रांच किसी भी वर्कट्री में चेक आउट नहीं की गई है.","localConversation.syncWorktreeV2.applyUncommitted":"लागू करें","localConversation.syncWorktreeV2.applyUncommitted.disabled":"कमिट नहीं किए गए बदलावों को अप्लाई करने के लिए आपको लोकल लेवल पर ब्रांच को चेक आउट करना होगा.","localConversation.syncWorktreeV2.branches.empty":"कोई ब्रांच नहीं मिली","localConversation.syncWorktreeV2.branches.loading":"ब्रांच लोड कीं जा रही हैं...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"हैंडऑफ़ ब्रांच बदलें","localConversation.syncWorktreeV2.changeBranch.error":"हैंडऑफ़ ब्रांच को बदला नहीं जा सका: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"लागू नहीं कर पाए","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"वर्कट्री को ओवरराइट नहीं कर पाए ","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"लोकल को ओवरराइट नहीं किया जा सका","localConversation.syncWorktreeV2.commandError.back":"पीछे जाएँ","localConversation.syncWorktreeV2.commandError.body":"हैंड ऑफ़ करते समय एक git कमांड फ़ेल हो गया. कृपया आउटपुट को रिव्यु करके दोबारा कोशिश करें.","localConversation.syncWorktreeV2.commandError.retry":"दोबारा कोशिश करें","localConversation.syncWorktreeV2.description":"लोकल और इस वर्कट्री के बीच बदलावों को हैंड ऑफ़ करें <a>और ज़्यादा जानें</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"हैंड ऑफ़ दिशा चुनें","localConversation.syncWorktreeV2.error.generic":"हैंड ऑफ़ के दौरान कुछ गड़बड़ हो गई. दोबारा कोशिश करें.","localConversation.syncWorktreeV2.localBranchLabel":"लोकल","localConversation.syncWorktreeV2.noChanges":"बदलावों को कैलकुलेट किया जा रहा है","localConversation.syncWorktreeV2.noChanges.summary":"कोई बदलाव नहीं","localConversation.syncWorktreeV2.overwrite.local":"लोकल को ओवरराइट करें","localConversation.syncWorktreeV2.overwrite.worktree":"वर्कट्री को ओवरराइट करें","localConversation.syncWorktreeV2.partial.action.applyFailed":"बदलाव लागू नहीं किए जा सके","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"लोकल बदलावों को ओवरराइट नहीं किया जा सका","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"वर्कट्री में किए गए बदलावों को ओवरराइट नहीं किया जा सका","localConversation.syncWorktreeV2.partial.appliedLabel":"अप्लाई किया गया","localConversation.syncWorktreeV2.partial.back":"पीछे जाएँ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"विवादों को हल करें और दोबारा कोशिश करें.","localConversation.syncWorktreeV2.partial.conflictsLabel":"विवाद","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# फ़ाइल} other {# फ़ाइलें}}","localConversation.syncWorktreeV2.partial.retry":"दोबारा कोशिश करें","localConversation.syncWorktreeV2.partial.skippedLabel":"छोड़ा गया","localConversation.syncWorktreeV2.stateFailed.generic":"वर्कट्री में हुए बदलावों को हैंडऑफ़ के लिए निकालते समय कुछ गड़बड़ हो गई. कृपया दोबारा कोशिश करें.","localConversation.syncWorktreeV2.stateFailed.title":"वर्कट्री में किए गए बदलावों को लोड नहीं किया जा सका","localConversation.syncWorktreeV2.statusError.diffUnknown":"वर्कट्री में किए गए बदलावों को लोड नहीं किया जा सका.","localConversation.syncWorktreeV2.statusError.retry":"दोबारा कोशिश करें","localConversation.syncWorktreeV2.statusError.title":"लोकल ब्रांच के बदलावों को लोड नही किया जा सका","localConversation.syncWorktreeV2.statusError.unknown":"ब्रांच स्टेटस अभी उपलब्ध नहीं है. कृपया दोबारा कोशिश करें.","localConversation.syncWorktreeV2.success.apply":"बदलाव सही से अप्लाई किए गए","localConversation.syncWorktreeV2.success.overwrite":"हैंडऑफ़ सही से हो गया","localConversation.syncWorktreeV2.title":"हैंडऑफ़ के बदलाव","localConversation.syncWorktreeV2.worktreeLabel":"वर्कट्री","localConversation.userInputRequest.inProgress":"{count, plural, one {सवाल} other {सवाल}} से पूछा जा रहा है","localConversation.userInputRequest.noAnswer":"कोई जवाब नहीं दिया गया","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"पूछा गया","localConversation.userInputRequest.summary.count":"{count, plural, one {# सवाल} other {# सवाल}}","localConversation.workedFor":"{time} के लिए काम कर गया","localConversation.worktreeBranchSetup.action.create":"बनाएं","localConversation.worktreeBranchSetup.branchAriaLabel":"ब्रांच का नाम","localConversation.worktreeBranchSetup.branchPlaceholder.new":"एक नई ब्रांच बनाएँ","localConversation.worktreeBranchSetup.checkoutDisabled":"यह ब्रांच पहले से ही {location} पर चेक आउट की जा चुकी है","localConversation.worktreeBranchSetup.checkoutError":"ब्रांच को चेक आउट नहीं किया जा सका: {message}","localConversation.worktreeBranchSetup.createBranchError":"ब्रांच को सेट नहीं किया जा सका: {message}","localConversation.worktreeBranchSetup.error":"कुछ गड़बड़ हो गई: {message}","localConversation.worktreeBranchSetup.subtitle":"इस वर्कट्री से बदलावों को कमिट करने, पुश करने और एक PR बनाने के लिए एक ब्रांच बनाएँ. <a>और ज़्यादा जानें</a>","localConversation.worktreeBranchSetup.title":"यहाँ काम करो","localConversationPage.addWorktreeToSidebar.tooltip":"इसे एक प्रोजेक्ट के तौर पर सेव करें ताकि आप इस वर्कट्री से नए थ्रेड शुरू कर सकें","localConversationPage.addWorktreeToSidebarError":"प्रोजेक्ट को नहीं जोड़ा जा सका","localConversationPage.commitAndCreatePrModal.errorTitle":"कमिट नहीं किया जा सका और PR नहीं बन पाया","localConversationPage.commitAndCreatePrModal.successTitle":"कमिट किया गया और PR बन गया","localConversationPage.commitAndPushModal.errorTitle":"कमिट और पुश नहीं किया जा सका","localConversationPage.commitAndPushModal.successTitle":"बदलाव कमिट करके पुश किए गए","localConversationPage.commitCreatePr.open":"पुल रिक्‍वेस्‍ट खोलें","localConversationPage.commitCreatePr.successTitle":"आपके लेटेस्ट बदलावों के साथ PR बनाया गया","localConversationPage.createBranchButtonLabel":"यहाँ ब्रांच करें","localConversationPage.createPrModal.baseBranch":"बेस","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR बनाएं","localConversationPage.createPrModal.createDescription":"अपने लेटेस्ट बदलावों के लिए एक पुल रिक्वेस्ट खोलें.","localConversationPage.createPrModal.errorTitle":"पुल रिक्वेस्ट नहीं हो पाई","localConversationPage.createPrModal.headBranch":"हेड","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR खोलें","localConversationPage.createPrModal.successTitle":"पुल रिक्वेस्ट बनाई गई","localConversationPage.createPrModal.title":"पुल रिक्वेस्ट बनाएं","localConversationPage.createPrModal.viewDescription":"इस ब्रांच के लिए पहले से ही एक पुल रिक्वेस्ट मौजूद है.","localConversationPage.createPrModal.viewTitle":"पुल रिक्वेस्ट तैयार है","localConversationPage.createPullRequestAuthGh":"GitHub CLI को ऑथेंटिकेट करें: `gh auth login` कमांड रन करें","localConversationPage.createPullRequestBranchMissing":"ब्रांच की जानकारी उपलब्ध नहीं है","localConversationPage.createPullRequestButtonLabel":"PR बनाएं","localConversationPage.createPullRequestButtonLabel.loading":"PR बनाया जा रहा है...","localConversationPage.createPullRequestDefaultBranchMissing":"ब्रांच की डिफ़ॉल्ट जानकारी उपलब्ध नहीं है","localConversationPage.createPullRequestError":"पुल रिक्वेस्ट नहीं बन पाया","localConversationPage.createPullRequestExistingPullRequest":"इस ब्रांच के लिए पहले से ही एक पुल रिक्वेस्ट मौजूद है","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI स्टेटस लोड किया जा रहा है…","localConversationPage.createPullRequestInstallGh":"PRs बनाने के लिए GitHub CLI (gh) इंस्टॉल करें.","localConversationPage.createPullRequestNoRepo":"कोई गिट रिपॉज़िटरी नहीं मिली","localConversationPage.createPullRequestPushStatusMissing":"पुश स्टेटस लोड किया जा रहा है…","localConversationPage.createPullRequestSetUpstream":"एक PR बनाने से पहले इस ब्रांच को पुश करें","localConversationPage.createPullRequestSuccessToast":"पुल रिक्वेस्ट बनाई गई","localConversationPage.createPullRequestSwitchBranch":"एक PR बनाने से पहले एक फ़ीचर ब्रांच चेकआउट करें","localConversationPage.error.render":"लोकल बातचीत रेंडर करने में एरर","localConversationPage.error.toast":"बातचीत नहीं मिली","localConversationPage.forcePushError":"फ़ोर्स पुश नहीं हो पाया","localConversationPage.generatePullRequestMessageError":"पुल रिक्वेस्ट का टाइटल और बॉडी जेनरेट नहीं कर पाए","localConversationPage.generatePullRequestMessageFailed":"पुल रिक्वेस्ट का टाइटल और बॉडी जेनरेट नहीं कर पाए.","localConversationPage.gitActionResult.branch":"ब्रांच","localConversationPage.gitActionResult.cancel":"कैंसल करें","localConversationPage.gitActionResult.close":"बंद करें","localConversationPage.gitActionResult.tryAgain":"दोबारा कोशिश करें","localConversationPage.gitActions":"गिट एक्शन्स","localConversationPage.newChat":"नया चैट","localConversationPage.openInTarget":"इसमें खोलें","localConversationPage.openPrimaryTarget":"खोलें","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# टास्क पूरे हुए} other {# टास्क पूरे हुए}} में से {completedItems}","localConversationPage.pushAuthError":"पुश फ़ेल हो गया: ऑथेंटिकेशन ज़रूरी है","localConversationPage.pushBranchMissing":"ब्रांच की जानकारी उपलब्ध नहीं है","localConversationPage.pushButtonLabel":"पुश करें","localConversationPage.pushButtonLabel.loading":"पुश किया जा रहा है..","localConversationPage.pushError":"बदलाव लागू नहीं हो सके","localConversationPage.pushModal.branchLabel":"ब्रांच","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"कैंसल करें","localConversationPage.pushModal.confirm":"पुश करें","localConversationPage.pushModal.description":"अपने लेटेस्ट कमिट्स को रिमोट रिपॉज़िटरी में पुश करें.","localConversationPage.pushModal.errorTitle":"पुश नहीं हो पाया","localConversationPage.pushModal.forcePush":"फ़ोर्स पुश","localConversationPage.pushModal.successTitle":"पुश पूरा हुआ","localConversationPage.pushModal.title":"बदलावों को पुश करें","localConversationPage.pushModal.tryAgain":"दोबारा कोशिश करें","localConversationPage.pushNoUpstream":"इस ब्रांच को पुश करने से पहले एक अपस्ट्रीम सेट करें","localConversationPage.pushNoUpstreamError":"पुश फ़ेल हो गया: कोई अपस्ट्रीम कॉन्फ़िगर नहीं की हुई है","localConversationPage.pushNothingToPush":"पुश करने के लिए कोई नए कमिट्स नहीं है","localConversationPage.pushRemoteChangedError":"पुश फ़ेल हो गया: रिमोट में नए कमिट्स हैं","localConversationPage.pushRemoteRejectedError":"रिमोट द्वारा पुश नामंज़ूर किया गया","localConversationPage.pushStatusMissing":"पुश स्टेटस लोड किया जा रहा है…","localConversationPage.pushSuccessToast":"पुश किए गए बदलाव","localConversationPage.viewPullRequestButtonLabel":"PR देखें","localConversationPage.viewPullRequestButtonLabel.loading":"पुल रिक्वेस्ट लोड की जा रही है…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# फ़ाइल} other {# फ़ाइलें}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# लिस्ट} other {# लिस्ट}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# सर्च} other {# सर्च}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"एक्सप्लोर किया जा रहा है","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"एक्सप्लोर किया गया","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} को एक्सप्लोर किया गया","localConversationTurnStory.showContent":"कंटेंट दिखाएँ","localConversationTurnStory.streamContent":"स्ट्रीम कंटेंट","localConversationTurnStory.toggleReasoning":"रीज़निंग दिखाएँ","localTaskRow.archiveError":"बातचीत को आर्काइव नहीं कर पाए","localTaskRow.resumeError":"टास्क को दोबारा शुरू नहीं कर पाए","mermaidDiagram.ariaLabel":"Mermaid डायग्राम","mermaidDiagram.copySource":"मर्मेड कॉपी करें","mermaidDiagram.originalCode":"Mermaid सोर्स कोड","notifications.permissions.description":"जब नोटिफ़िकेशन्स की परमिशन्स ज़रूरी हो, तब अलर्ट्स दिखाएं","notifications.permissions.label":"परमिशन नोटिफ़िकेशन्स इनेबल करें","notifications.turnMode.always":"हमेशा","notifications.turnMode.description":"सेट करें कि टास्क पूरा होने पर Codex आपको कब अलर्ट करे","notifications.turnMode.label":"कम्पलीशन  नोटिफ़िकेशन्स चालू करें","notifications.turnMode.off":"कभी नहीं","notifications.turnMode.unfocused":"सिर्फ़ तभी जब फ़ोकस न हो","patchApprovalRequest.approve":"अनुमोदन करें","patchApprovalRequest.menu.allowAlways":"जी हां, और इस सेशन में दोबारा मत पूछना","patchApprovalRequest.menu.allowForSession":"जी हां, और इस सेशन में दोबारा मत पूछना","patchApprovalRequest.menu.allowOnce":"हाँ","patchApprovalRequest.prompt":"क्या आप ये बदलाव करना चाहते हैं?","patchApprovalRequest.reject":"नहीं","patchApprovalRequest.waitingForApproval":"फ़ाइलों को एडिट करने के लिए अप्रूवल का इंतज़ार किया जा रहा है","pendingRequest.approvalExec.collapse":"कोलैप्स करें","pendingRequest.approvalExec.expand":"एक्सपैंड करें","pendingRequestStory.toastAnswer":"जवाब: {answer}","pendingRequestStory.toastApprovalTitle":"अप्रूवल जवाब","pendingRequestStory.toastFollowupPrompt":"प्रॉम्प्ट: {prompt}","pendingRequestStory.toastFollowupTitle":"फ़ॉलो अप भेजा गया","pendingRequestStory.toastNoAnswers":"कोई जवाब नहीं दिए गए","pendingRequestStory.toastQuestion":"सवाल: {question}","pendingRequestStory.toastUnknownDecision":"अनजान","pendingRequestStory.toastUserInputTitle":"सबमिट किए गए बदलाव","quickAction.request.codeReview.branches.new":"'कृपया {from} पर {to} के साथ बदलावों को रिव्यू करें","quickAction.request.codeReview.uncommitted.new":"मेरे जो बदलाव सेव नहीं हुए कृपया उन्हें देखें","reasoningItem.thinking":"सोच रहा है","reasoningItem.thought":"विचार","reasoningItem.thoughtWithElapsed":"{elapsed} के लिए विचार","recentConversations.title":"हालिया बातचीतें","recentTasks.worktreeInitFailedTitle":"वर्कट्री इनिशियलाइज़ नहीं हो सकी","recentTasks.worktreeSettingUpTitle":"वर्कट्री सेट अप करना","requestInputPanel.continue":"जारी रखें","requestInputPanel.dismiss":"हटा दें","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"यहां टाइप करें","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"नहीं, और Codex को बताएं कि उसे क्या अलग करना है","requestInputPanel.selectedBadge":"चुना गया","requestInputPanel.skip":"छोड़ें","requestInputPanel.submit":"सबमिट करें","review.commit.ariaLabel.includeUnstaged":"अनस्टेज किए गए शामिल करें","review.commit.buttonLabel":"कमिट","review.commit.disabled.committing":"कमिट किया जा रहा है…","review.commit.disabled.loadingDiff":"डिफ़ लोड किया जा रहा है...","review.commit.disabled.missingContext":"एक कमिट मेसेज जेनरेट करने के लिए कुछ कॉन्टेक्स्ट जोड़ें","review.commit.disabled.noChanges":"कमिट करने के लिए कोई बदलाव नहीं हैं","review.commit.disabled.noSelection":"कमिट करने के लिए बदलाव चुनें","review.commit.disabled.unavailable":"कमिट अभी उपलब्ध नहीं है","review.commit.error":"बदलावों को सेव नहीं किया जा सका","review.commit.form.changesToBeCommitted":"बदलाव","review.commit.form.commitTo":"ब्रांच","review.commit.form.commitTo.none":"-","review.commit.form.continue":"जारी रखें","review.commit.form.title":"अपने बदलाव कमिट करें","review.commit.generate.emptyResponse":"एक कमिट मेसेज जेनरेट नहीं कर पाए.","review.commit.generate.failed":"कमिट मेसेज जेनरेट नहीं कर पाए: {error}","review.commit.generate.missingPrompt":"एक कमिट मेसेज बनाने के लिए कुछ कॉन्टेक्स्ट डालें.","review.commit.includeUnstaged":"अनस्टेज किए गए शामिल करें","review.commit.loading.description":"धैर्य रखें, इसमें थोड़ा समय लग सकता है…","review.commit.loading.step.commit.done":"कमिट नहीं किए गए बदलाव","review.commit.loading.step.commit.pending":"बदलावों को कमिट किया जा रहा है","review.commit.loading.step.createPr.done":"एक पुल रिक्वेस्ट बनाई गई","review.commit.loading.step.createPr.pending":"एक पुल रिक्वेस्ट बनाई जा रही है","review.commit.loading.step.push.done":"ब्रांच {branch} में पुश किया गया","review.commit.loading.step.push.pending":"ब्रांच {branch} में पुश किया जा रहा है","review.commit.loading.title.commit":"बदलावों को कमिट किया जा रहा है","review.commit.loading.title.createPr":"एक PR बनाया जा रहा है","review.commit.loading.title.push":"बदलावों को पुश किया जा रहा है","review.commit.messageLabel":"कमिट मेसेज","review.commit.messagePlaceholder":"कमिट मेसेज ऑटो जेनरेट करने के लिए खाली छोड़ दें","review.commit.nextSteps":"अगले स्टेप्स","review.commit.nextSteps.commit":"कमिट","review.commit.nextSteps.commitAndCreate":"कमिट करके PR बनाएं","review.commit.nextSteps.commitAndPush":"कमिट करके पुश करें","review.commit.nextSteps.prRequiresGh":"GitHub CLI ज़रूरी है: {command}","review.commit.rows.changes":"बदलाव","review.commit.rows.commitCount":"{count, plural, one {# कमिट} other {# कमिट्स}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# कमिट} other {# कमिट्स}} और {stats}","review.commit.rows.fileCount":"{count, plural, one {# फ़ाइल} other {# फ़ाइलें}}","review.commit.state.error.body":"कमिट करते समय कुछ गड़बड़ हो गई. कृपया अपना गिट स्टेटस चेक करें और दोबारा कोशिश करें.","review.commit.state.error.title":"कमिट नहीं हो पाया","review.commit.state.success.title":"बदलाव कमिट किए गए","review.commit.untracked.loadingStats":"ट्रैक नहीं किए गए डिफ़ आंकड़े लोड किए जा रहे हैं…","reviewFindingAttachments.count":"{count, plural, one {# नतीजा} other {# नतीजे}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"एजेंट बिहेवियर को कस्टमाइज़ करने के लिए अपना कॉन्फ़िगरेशन एडिट करें","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"बदलावों को लागू करने के लिए एडिट करने के बाद Codex को रीस्टार्ट करें.","settings.agent.configuration.subtitle":"ये सेटिंग्स उन सभी जगहों पर लागू होती हैं जहां Codex का इस्तेमाल किया जाता है.","settings.automations.banner.danger":"ऑटोमेशन्स आपकी डिफ़ॉल्ट सैंडबॉक्स सेटिंग्स के साथ रन करते हैं, जो अभी पूरी एक्सेस पर सेट हैं. पूरी एक्सेस के साथ बैकग्राउंड ऑटोमेशन्स रन करने में ज्यादा रिस्क होता है, क्योंकि Codex बिना पूछे फ़ाइलों को बदल सकता है, कमांड्स रन कर सकता है और नेटवर्क को एक्सेस कर सकता है. सैंडबॉक्स सेटिंग्स को वर्कस्पेस राइट में अपडेट करने और <rulesDocsLink>नियमों</rulesDocsLink> का इस्तेमाल करके यह डिफ़ाइन करने के बारे में सोचें कि एजेंट किन कमांड्स को पूरी एक्सेस के साथ रन कर सकता है.","settings.automations.banner.defaultHowTo.default":"ऑटोमेशन्स आपकी डिफ़ॉल्ट सैंडबॉक्स सेटिंग्स के साथ रन करते हैं. अगर टूल कॉल्स के लिए वर्कस्पेस के बाहर फ़ाइलों में बदलाव करने, नेटवर्क को एक्सेस करने या आपके कंप्यूटर पर ऐप्स के साथ काम करने की ज़रुरत पड़ती है, तो वे फ़ेल हो जाएंगे. आप <rulesDocsLink>नियमों</rulesDocsLink> का इस्तेमाल करके सैंडबॉक्स के बाहर चुनिंदा कमांड्स रन करने की अनुमति दे सकते हैं.","settings.automations.banner.defaultHowTo.readOnly":"ऑटोमेशन्स आपकी डिफ़ॉल्ट सैंडबॉक्स सेटिंग्स के साथ रन करते हैं, जो रीड-ओनली पर सेट किए हुए होते हैं. अगर टूल कॉल्स के लिए वर्कस्पेस के बाहर फ़ाइलों में बदलाव करने, नेटवर्क को एक्सेस करने या आपके कंप्यूटर पर ऐप्स के साथ काम करने की ज़रुरत पड़ती है, तो वे फ़ेल हो जाएंगे. सैंडबॉक्स सेटिंग्स को वर्कस्पेस राइट में अपडेट करने के बारे में सोचें.","settings.automations.cancel":"कैंसल करें","settings.automations.create":"बनाएँ","settings.automations.cwdEmpty":"कोई प्रोजेक्ट फ़ोल्डर उपलब्ध नहीं हैं","settings.automations.cwdLabel":"प्रोजेक्ट्स","settings.automations.cwdPlaceholder":"एक फ़ोल्डर चुनें","settings.automations.cwdSubtitle":"अगर आप किसी ख़ास ब्रांच पर एक ऑटोमेशन रन करना चाहते हैं, तो आप इसे अपने प्रॉम्प्ट में बता सकते हैं.","settings.automations.delete":"डिलीट करें","settings.automations.dialog.editTitle":"ऑटोमेशन एडिट करें","settings.automations.dialog.newTitle":"नया ऑटोमेशन","settings.automations.dialog.subtitle":"दोहराने वाली टास्क को बैकग्राउंड में ऑटोमेट करें. Codex नतीजों को इन्बॉक्स में जोड़ता है, या अगर रिपोर्ट करने के लिए कुछ नहीं है तो टास्क को अपने आप आर्काइव कर देता है. <learnMoreLink>और ज़्यादा जानें</learnMoreLink>","settings.automations.dialog.title":"ऑटोमेशन बनाएं","settings.automations.executionCopy.git":"Git प्रोजेक्ट्स समर्पित बैकग्राउंड वर्कट्री में रन करते हैं.","settings.automations.executionCopy.local":"ऑटोमेशन्स चुनी गई प्रोजेक्ट डायरेक्टरीज़ में सीधे रन करते हैं.","settings.automations.executionCopy.nonGit":"नॉन-वर्ज़न-कंट्रोल्ड प्रोजेक्ट्स लोकल तरीके से रन करते हैं क्योंकि वर्कट्री को Git की ज़रुरत होती है.","settings.automations.executionEnvironment.ariaLabel":"एक्सीक्यूशन एन्वायर्नमेंट","settings.automations.executionEnvironment.label":"एक्सीक्यूशन एन्वायर्नमेंट","settings.automations.executionEnvironment.local":"लोकल","settings.automations.executionEnvironment.local.help":"यह एक वर्कट्री बनाए बिना सीधे चुनी गई प्रोजेक्ट डायरेक्टरी में रन करता है.","settings.automations.executionEnvironment.worktree":"वर्कट्री","settings.automations.executionEnvironment.worktree.help":"यह चुने गए प्रोजेक्ट से बनाई गई एक समर्पित Git वर्कट्री में रन करता है, जिससे आपका मौजूदा चेकआउट सुरक्षित रहता है.","settings.automations.loading":"लोड किया जा रहा है...","settings.automations.nameLabel":"नाम","settings.automations.namePlaceholder":"सेंट्री से जुड़ी समस्याएं चेक करें","settings.automations.pause":"रोकें","settings.automations.promptLabel":"प्रॉम्प्ट","settings.automations.promptPlaceholder":"$Sentry के क्रैश होने की तलाश करें","settings.automations.resume":"दोबारा चालू करें","settings.automations.rruleSummaryFallback":"कस्टम शेड्यूल","settings.automations.runNow":"टेस्ट","settings.automations.save":"सेव करें","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"कामकाजी दिन","settings.automations.scheduleBadge.weekends":"वीकेंड्स","settings.automations.scheduleHeader":"शेड्यूल करें","settings.automations.scheduleHours":"घंटे","settings.automations.scheduleLabel":"इतने समय में हर बार रन करें","settings.automations.scheduleMode.daily":"रोज़","settings.automations.scheduleMode.interval":"इंटरवेल","settings.automations.scheduleModeLabel":"शेड्यूल टाइप","settings.automations.scheduleSummary.daily":"रोज़ {time} को","settings.automations.scheduleSummary.interval":"हर {count}h में","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# दिन} other {# दिन}}","settings.automations.scheduleSummary.intervalDays":"{days} पर {interval}","settings.automations.scheduleSummary.intervalHourly":"प्रति घंटा","settings.automations.scheduleSummary.singleDay":"{time} पर {day}","settings.automations.scheduleSummary.weekdays":"कामकाजी दिनों में {time} पर","settings.automations.scheduleSummary.weekdaysLabel":"कामकाजी दिन","settings.automations.scheduleSummary.weekends":"वीकेंड्स में {time} पर","settings.automations.scheduleSummary.weekendsLabel":"वीकेंड्स","settings.automations.scheduleSummary.weekly":"{time} पर {days}","settings.automations.scheduleWeekdays":"चालू","settings.automations.weekdayState.excluded":"शामिल नहीं","settings.automations.weekdayState.included":"शामिल","settings.conversationDetail.steps":"स्टेप्स","settings.conversationDetail.steps.description":"कमांड्स और आउटपुट्स छिपाएं","settings.conversationDetail.stepsWithCommands":"कोड कमांड्स के साथ स्टेप्स","settings.conversationDetail.stepsWithCommands.description":"कमांड दिखाएँ, आउटपुट को कोलैप्स करें","settings.conversationDetail.stepsWithOutput":"कोड आउटपुट के साथ स्टेप्स","settings.conversationDetail.stepsWithOutput.description":"कमांड्स दिखाएं और आउटपुट को एक्स्पैंड करें","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"कोई आर्काइव की हुई चैट्स नहीं.","settings.dataControls.archivedChats.error":"आर्काइव की गई चैट्स लोड नहीं हो सकीं.","settings.dataControls.archivedChats.loading":"आर्काइव की गई चैट लोड हो रही हैं…","settings.dataControls.archivedChats.unarchive":"अनआर्काइव करें","settings.dataControls.archivedChats.unarchiveError":"चैट को अनआर्काइव नहीं कर पाए","settings.dataControls.archivedChats.unarchiveSuccess":"अनआर्काइव किया गया थ्रेड. <viewNowLink>अभी देखें</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"आर्काइव नहीं किया हुआ थ्रेड.","settings.dataControls.archivedChats.untitled":"अनटाइटल्ड चैट","settings.dataControls.archivedChats.viewNow":"अभी देखें","settings.editRow.headerPlaceholder":"की","settings.editRow.removeEntry":"एंट्री हटाएं","settings.editRow.valuePlaceholder":"वैल्यू","settings.general.appearance":"दिखावट","settings.general.appearance.codeFont":"कोड फ़ॉन्ट","settings.general.appearance.codeFont.description":"चैट्स और डिफ़्स में कोड के लिए इस्तेमाल किए जाने वाले फ़ॉन्ट और साइज़ को एडजस्ट करें","settings.general.appearance.codeFontFamily":"कोड फ़ॉन्ट फ़ैमिली","settings.general.appearance.codeFontSize":"कोड फ़ॉन्ट साइज़","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"विंडोज़ को सिस्टम ट्रांसलूसेंसी के बजाय एक सॉलिड बैकग्राउंड का इस्तेमाल करने दें","settings.general.appearance.opaqueWindows.label":"अपारदर्शी विंडो बैकग्राउंड का इस्तेमाल करें","settings.general.appearance.sansFontFamily":"Sans फ़ॉन्ट फ़ैमिली","settings.general.appearance.sansFontFamily.description":"Codex UI के लिए इस्तेमाल किए जाने वाले फ़ॉन्ट को एडजस्ट करें","settings.general.appearance.sansFontSize":"बिना फ़ॉन्ट साइज़ के","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark के पहले टर्न के रन के दौरान फ़ुल-विंडो सेलिब्रेशन इफ़ेक्ट्स दिखाएँ","settings.general.appearance.sparkCelebrationEffects.label":"Spark सेलिब्रेशन इफ़ेक्ट्स","settings.general.appearance.theme":"थीम","settings.general.appearance.theme.dark":"गहरा","settings.general.appearance.theme.description":"हल्का, गहरा इस्तेमाल करें, या अपने सिस्टम से मैच करें","settings.general.appearance.theme.light":"लाइट","settings.general.appearance.theme.system":"सिस्टम","settings.general.appearance.usePointerCursors.description":"इंटरैक्टिव एलिमेंट्स पर माउस को हॉवर करते समय कर्सर को पॉइंटर में बदलें","settings.general.appearance.usePointerCursors.label":"पॉइंटर कर्सर का इस्तेमाल करें","settings.general.enterBehavior.description":"इनेबल किए जाने पर, मल्टीलाइन प्रॉम्प्ट्स भेजने के लिए {modifierSymbol} + एंटर दबाना ज़रूरी होता है.","settings.general.enterBehavior.label":"लंबे प्रॉम्प्ट्स भेजने के लिए {modifierSymbol} + एंटर दबाएं","settings.general.experimentalFeatures":"एक्सपेरिमेंटल फ़ीचर्स (बीटा)","settings.general.experimentalFeatures.empty":"कोई बीटा एक्सपेरिमेंटल फ़ीचर्स उपलब्ध नहीं हैं.","settings.general.experimentalFeatures.loading":"एक्सपेरिमेंटल फ़ीचर्स लोड किए जा रहे हैं...","settings.general.experimentalFeatures.restartNote":"एक्सपेरिमेंटल फ़ीचर के बदलावों को अप्लाई करने के लिए Codex को रीस्टार्ट करें","settings.general.experimentalFeatures.toggle":"{featureName} पर टॉगल करें","settings.general.followUpQueueMode.description":"Codex के रन होने के दौरान फ़ॉलो-अप एक्शन्स को कतार में रखें या अभी के रन को कंट्रोल करें. किसी एक मेसेज के लिए इसका उल्टा करने के लिए {invertFollowUpShortcutLabel} दबाएँ.","settings.general.followUpQueueMode.interrupt":"स्टीयर करें","settings.general.followUpQueueMode.label":"फ़ॉलो-अप बिहेवियर","settings.general.followUpQueueMode.queue":"कतार","settings.general.notifications":"नोटिफ़िकेशन्स","settings.general.power.preventSleepWhileRunning.description":"जब Codex कोई थ्रेड रन कर रहा हो तो अपने कंप्यूटर को चालू रखें.","settings.general.power.preventSleepWhileRunning.label":"रन करते समय स्लीप में न रखें","settings.git.branchPrefix.ariaLabel":"ब्रांच प्रीफ़िक्स","settings.git.branchPrefix.description":"Codex में नई ब्रांच बनाते समय इस्तेमाल किया गया प्रीफ़िक्स","settings.git.branchPrefix.label":"ब्रांच प्रीफ़िक्स","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"ब्रांच प्रीफ़िक्स को सेव नहीं किया जा सका","settings.git.branchPrefix.save.success":"सेव किया गया ब्रांच प्रीफ़िक्स","settings.git.commitInstructions.ariaLabel":"कमिट इंस्ट्रक्शन्स","settings.git.commitInstructions.description":"कमिट मेसेज जेनरेशन प्रॉम्प्ट्स में जोड़ा गया","settings.git.commitInstructions.label":"कमिट इंस्ट्रक्शन्स","settings.git.commitInstructions.placeholder":"कमिट मेसेज के लिए गाइडेंस जोड़ें...","settings.git.commitInstructions.save":"सेव करें","settings.git.commitInstructions.save.error":"कमिट इंस्ट्रक्शन्स सेव नहीं कर पाए","settings.git.commitInstructions.save.success":"कमिट इंस्ट्रक्शन्स सेव किए गए","settings.git.forcePush.ariaLabel":"हमेशा फ़ोर्स पुश करें","settings.git.forcePush.description":"Codex से पुश करते समय --force-with-lease का इस्तेमाल करें","settings.git.forcePush.label":"हमेशा फ़ोर्स पुश करें","settings.git.forcePush.save.disabled":"हमेशा फ़ोर्स पुश करें को डिसेबल किया गया","settings.git.forcePush.save.enabled":"हमेशा फ़ोर्स पुश करें को इनेबल किया गया","settings.git.forcePush.save.error":"फ़ोर्स पुश सेटिंग को सेव नहीं किया जा सका","settings.git.prInstructions.ariaLabel":"पुल रिक्वेस्ट इंस्ट्रक्शन्स","settings.git.prInstructions.description":"Codex द्वारा बनाई गई पुल रिक्वेस्ट बॉडी में जोड़ा गया","settings.git.prInstructions.label":"पुल रिक्वेस्ट इंस्ट्रक्शन्स","settings.git.prInstructions.placeholder":"पुल रिक्वेस्ट गाइडेंस जोड़ें...","settings.git.prInstructions.save":"सेव करें","settings.git.prInstructions.save.error":"पुल रिक्वेस्ट इंस्ट्रक्शन्स सेव नहीं कर पाए","settings.git.prInstructions.save.success":"पुल रिक्वेस्ट इंस्ट्रक्शन्स सेव किए गए","settings.ide.defaultOpenTarget.description":"जहां फ़ाइलें और फ़ोल्डर्स डिफ़ॉल्ट तरीके से खुलते हैं","settings.ide.defaultOpenTarget.label":"डिफ़ॉल्ट ओपन डेस्टिनेशन","settings.ide.defaultOpenTarget.placeholder":"कोई टार्गेट्स नहीं मिले","settings.ide.language.auto":"ऑटो-डिटेक्ट","settings.ide.language.autoOption":"ऑटो-डिटेक्ट","settings.ide.language.description":"ऐप UI के लिए भाषा","settings.ide.language.label":"भाषा","settings.ide.language.search":"भाषाएं सर्च करें","settings.layout.actionButton":"एक्सटेंशन को रीस्टार्ट करें","settings.layout.actionTitle":"एक्शन के साथ सेटिंग्स","settings.layout.fullWidthTitle":"सेटिंग्स (पूरी चौड़ाई)","settings.layout.title":"सेटिंग्स","settings.localEnvironments.actions.add":"एक्शन जोड़ें","settings.localEnvironments.actions.add.description":"टूलबार से रन करने के लिए एक नया कमांड बनाएं.","settings.localEnvironments.actions.add.save":"सेव करें","settings.localEnvironments.actions.empty":"लोकल टूलबार से कमांड्स रन करने के लिए एक एक्शन जोड़ें.","settings.localEnvironments.actions.icon.debug":"डीबग करें","settings.localEnvironments.actions.icon.run":"रन करें","settings.localEnvironments.actions.icon.test":"टेस्ट","settings.localEnvironments.actions.icon.tool":"टूल","settings.localEnvironments.actions.item.button.delete":"डिलीट करें","settings.localEnvironments.actions.item.command":"एक्शन स्क्रिप्ट","settings.localEnvironments.actions.item.name":"नाम","settings.localEnvironments.actions.item.platforms":"प्लैटफ़ॉर्म","settings.localEnvironments.actions.item.platforms.help":"सिर्फ़ एक खास OS पर ही चलता है.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"प्लैटफ़ॉर्म सिलेक्शन","settings.localEnvironments.actions.item.platforms.specific":"ख़ास प्लैटफ़ॉर्म के लिए","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"डिलीट करें","settings.localEnvironments.actions.title":"एक्शन्स","settings.localEnvironments.breadcrumb.back":"पीछे जाएँ","settings.localEnvironments.breadcrumb.edit":"बदलें","settings.localEnvironments.breadcrumb.root":"एन्वायर्नमेंट्स","settings.localEnvironments.environment.actions.description":"ये एक्शन्स कोई भी कमांड रन कर सकते हैं और हेडर में दिखाए जाएंगे.","settings.localEnvironments.environment.actionsLabel":"एक्शन्स","settings.localEnvironments.environment.create":"लोकल एन्वायर्नमेंट्स बनाएं","settings.localEnvironments.environment.defaultName":"लोकल","settings.localEnvironments.environment.edit":"लोकल एन्वायर्नमेंट्स बदलें","settings.localEnvironments.environment.empty":"इस प्रोजेक्ट के लिए अभी तक कोई लोकल एन्वायर्नमेंट कॉन्फ़िगर नहीं किया गया है.","settings.localEnvironments.environment.name":"नाम","settings.localEnvironments.environment.setup":"सेटअप स्क्रिप्ट","settings.localEnvironments.environment.setup.description":"ये स्क्रिप्ट वर्कट्री बन जाने पर रन करेगी.","settings.localEnvironments.environment.setup.hint":"यह प्रोजेक्ट रूट में रन करता है.","settings.localEnvironments.environment.setup.platformOverrides":"प्लैटफ़ॉर्म ओवरराइड्स","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} सेटअप स्क्रिप्ट जोड़ें","settings.localEnvironments.environment.setup.platformOverrides.description":"ये ख़ास OSes के लिए डिफ़ॉल्ट स्क्रिप्ट को ओवरराइड करता है.","settings.localEnvironments.environment.setup.platformOverrides.remove":"हटाएं","settings.localEnvironments.environment.setup.script":"स्क्रिप्ट","settings.localEnvironments.environment.title":"एन्वायर्नमेंट की जानकारी","settings.localEnvironments.file.missing":"इस फ़ाइल को पहली बार बनाने के लिए सेव करें.","settings.localEnvironments.file.parseError":"मौजूदा फ़ाइल को पार्स नहीं किया जा सका. सेव करने पर ये ओवरराइट हो जाएगी. ({error})","settings.localEnvironments.file.path":"फ़ाइल: {path}","settings.localEnvironments.file.readError":"लोकल एन्वायर्नमेंट डेटा लोड नहीं किया जा सका. ({error})","settings.localEnvironments.file.title":"लोकल एन्वायर्नमेंट फ़ाइल","settings.localEnvironments.loading.body":"आपका प्रोजेक्ट कॉन्फ़िगरेशन निकाला जा रहा है.","settings.localEnvironments.loading.title":"लोकल एन्वायर्नमेंट्स लोड किए जा रहे हैं","settings.localEnvironments.preview.devOnly":"(सिर्फ़ डेवलपर)","settings.localEnvironments.preview.save":"सेव करें","settings.localEnvironments.preview.saveError":"फ़ाइल सेव नहीं कर पाए. ({error})","settings.localEnvironments.preview.title":"प्रीव्यू देखें","settings.localEnvironments.save.disabled.name":"सेव करने के लिए एक एन्वायर्नमेंट का नाम जोड़ें.","settings.localEnvironments.save.disabled.noChanges":"सेव करने के लिए कोई बदलाव नहीं हैं.","settings.localEnvironments.save.disabled.saving":"सेव किया जा रहा है...","settings.localEnvironments.save.success":"लोकल एन्वायर्नमेंट सेव किया गया","settings.localEnvironments.unavailable.body":"हम इस प्रोजेक्ट के लिए लोकल एन्वायर्नमेंट सेटिंग्स लोड नहीं कर पाए.","settings.localEnvironments.unavailable.title":"लोकल एन्वायर्नमेंट्स उपलब्ध नहीं हैं","settings.localEnvironments.workspace.add":"प्रोजेक्ट डालें","settings.localEnvironments.workspace.title":"प्रोजेक्ट","settings.localEnvironments.workspaceSelect.addLabel":"एन्वायर्नमेंट जोड़ें","settings.localEnvironments.workspaceSelect.description":"लोकल एन्वायर्नमेंट्स Codex को ये बताता है कि एक प्रोजेक्ट के लिए वर्कट्रीज़ कैसे सेट अप की जाए. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"अभी तक कोई प्रोजेक्ट नहीं हैं. लोकल एन्वायर्नमेंट्स को कॉन्फ़िगर करने के लिए एक प्रोजेक्ट जोड़ें.","settings.localEnvironments.workspaceSelect.errorLabel":"एन्वायर्नमेंट पर ध्यान देने की ज़रूरत है","settings.localEnvironments.workspaceSelect.learnMore":"और ज़्यादा जानें","settings.localEnvironments.workspaceSelect.listLabel":"उपलब्ध प्रोजेक्ट्स","settings.localEnvironments.workspaceSelect.loading":"प्रोजेक्ट्स लोड किए जा रहे हैं.","settings.localEnvironments.workspaceSelect.loadingLabel":"एन्वायर्नमेंट लोड किया जा रहा है","settings.localEnvironments.workspaceSelect.title":"एक प्रोजेक्ट चुनें","settings.localEnvironments.workspaceSelect.viewAction":"देखें","settings.mcp.addServer":"सर्वर जोड़ें","settings.mcp.app.configure":"कॉन्फ़िगर करें","settings.mcp.app.connect":"कनेक्ट करें","settings.mcp.apps.refresh":"रीफ़्रेश करें","settings.mcp.detail.addArgument":"आर्ग्युमेंट जोड़ें","settings.mcp.detail.addEnvVar":"एन्वायर्नमेंट वेरिएबल जोड़ें","settings.mcp.detail.addEnvVarPassthrough":"वेरिएबल जोड़ें","settings.mcp.detail.args":"आर्ग्युमेंट्स","settings.mcp.detail.back":"पीछे जाएँ","settings.mcp.detail.command":"लॉन्च करने का कमांड","settings.mcp.detail.cwd":"वर्किंग डाइरेक्टरी","settings.mcp.detail.docs":"MCP डॉक्यूमेंटेशन खोलें","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"एन्वायर्नमेंट वेरिएबल पासथ्रू","settings.mcp.detail.envVars":"एन्वायर्नमेंट के वेरिएबल्स","settings.mcp.detail.http.addEnvHeader":"वेरिएबल जोड़ें","settings.mcp.detail.http.addHeader":"हेडर जोड़ें","settings.mcp.detail.http.bearerToken":"बियरर टोकन env var","settings.mcp.detail.http.envHeaders":"एन्वायर्नमेंट वेरिएबल्स से हेडर्स","settings.mcp.detail.http.headers":"हेडर्स","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"नाम","settings.mcp.detail.save":"सेव करें","settings.mcp.detail.switchTransportNotice":"अगर आप MCP सर्वर टाइप बदलना चाहते हैं, तो कृपया पहले इसे अनइंस्टॉल कर दें.","settings.mcp.detail.titleExisting":"{name} MCP अपडेट करें","settings.mcp.detail.titleNew":"एक कस्टम MCP से कनेक्ट करें","settings.mcp.detail.transport.http":"स्ट्रीम करने लायक HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"अनइंस्टॉल करें","settings.mcp.empty":"कोई कस्टम MCP सर्वर कनेक्ट नहीं किए हुए हैं","settings.mcp.myServers":"कस्टम सर्वर","settings.mcp.partnerServer.description.figma":"Figma के पूरे कॉन्टेक्स्ट को शामिल करके बेहतर कोड जेनरेट करें.","settings.mcp.partnerServer.description.github":"वर्कफ़्लोज़ को ऑटोमेट करने और डेटा निकालने के लिए GitHub API के साथ इंटीग्रेट करें.","settings.mcp.partnerServer.description.linear":"Linear के इश्यू ट्रैकिंग और प्रोजेक्ट मैनेजमेंट के साथ इंटीग्रेट करें","settings.mcp.partnerServer.description.notion":"डॉक्स पढ़ें, पेजेज़ अपडेट करें, टास्क मैनेज करें","settings.mcp.partnerServer.description.playwright":"UI का डिज़ाइन और टेस्ट लागू करने के लिए ब्राउज़र ऑटोमेशन को इंटीग्रेट करें.","settings.mcp.partnerServer.install":"इंस्टॉल करें","settings.mcp.partnerServer.installAndAuthenticate":"इंस्टॉल और ऑथेंटिकेट करें","settings.mcp.partnerServer.logoAlt":"{label} लोगो","settings.mcp.partnerServer.manage":"मैनेज करें","settings.mcp.partnerServer.vendor":"{vendor} द्वारा","settings.mcp.recommendedServers":"सुझाए गए सर्वर","settings.mcp.restartApp":"रीस्टार्ट करें","settings.mcp.restartExtension":"एक्सटेंशन को रीस्टार्ट करें","settings.mcp.server.enable":"इनेबल करें","settings.mcp.server.login":"ऑथेंटिकेट करें","settings.mcp.server.settings":"सेटिंग्स","settings.multiselect.createOption":"“{value}” बनाएं","settings.multiselect.removeOption":"हटाएं","settings.nav.account":"अकाउंट","settings.nav.agent":"कॉन्फ़िगरेशन","settings.nav.ariaLabel":"सेटिंग्स","settings.nav.back":"ऐप पर वापस जाएं","settings.nav.data-controls":"आर्काइव किए गए थ्रेड्स","settings.nav.environments":"क्लाउड एन्वायर्नमेंट्स","settings.nav.externalTooltip":"[alpha] ब्राउज़र में खुलता है","settings.nav.general-settings":"सामान्य","settings.nav.git-settings":"Git","settings.nav.local-environments":"एन्वायर्नमेंट्स","settings.nav.mcp-settings":"MCP सर्वर्स","settings.nav.notImplemented":"[alpha] Alpha में उपलब्ध नहीं है","settings.nav.personalization":"पर्सनलाइज़ेशन","settings.nav.skills-settings":"स्किल्स","settings.nav.usage-analytics":"यूसेज और एनालिटिक्स","settings.nav.worktrees":"वर्कट्रीज़","settings.openSourceLicenses.back":"पीछे जाएँ","settings.openSourceLicenses.loading":"लोड किया जा रहा है...","settings.openSourceLicenses.missing":"कोई भी थर्ड-पार्टी नोटिसेस नहीं मिले.","settings.openSourceLicenses.notSupported":"इस होस्ट में उपलब्ध नहीं है.","settings.openSourceLicenses.rowDescription":"बंडल की गई निर्भरताओं के लिए थर्ड-पार्टी नोटिसेस","settings.openSourceLicenses.rowLabel":"ओपन सोर्स लाइसेंसेस","settings.openSourceLicenses.subtitle":"इस ऐप में शामिल निर्भरताओं के लिए थर्ड-पार्टी नोटिसेस","settings.openSourceLicenses.title":"ओपन सोर्स लाइसेंसेस","settings.openSourceLicenses.view":"देखें","settings.personalization.agents.description":"ऐसे इंस्ट्रक्शन्स एडिट करें जो Codex को आपके हिसाब से कस्टमाइज़ करें. {learnMore}","settings.personalization.agents.learnMore":"और ज़्यादा जानें","settings.personalization.agents.loadError":"agents.md लोड नहीं कर पाए.","settings.personalization.agents.loading":"agents.md लोड किया जा रहा है…","settings.personalization.agents.placeholder":"अपने कस्टम इंस्ट्रक्शन्स जोड़ें…","settings.personalization.agents.retry":"दोबारा कोशिश करें","settings.personalization.agents.save":"सेव करें","settings.personalization.agents.save.error":"agents.md को सेव नहीं किया जा सका","settings.personalization.agents.save.success":"agents.md सेव किया गया","settings.personalization.agents.title":"कस्टम निर्देश","settings.personalization.personality.description":"Codex के जवाबों के लिए एक डिफ़ॉल्ट टोन चुनें","settings.personalization.personality.label":"पर्सनैलिटी","settings.sample.contentBody":"अपने सेटिंग्स पैनल को एक जैसी स्पेसिंग के साथ बनाने के लिए इस लेआउट का इस्तेमाल करें.","settings.sample.contentTitle":"सैंपल कंटेंट ब्लॉक","settings.section.account":"अकाउंट","settings.section.agent":"कॉन्फ़िगरेशन","settings.section.data-controls":"आर्काइव किए गए थ्रेड्स","settings.section.environments":"क्लाउड एन्वायर्नमेंट्स","settings.section.external":"Alpha के दौरान ये आपके ब्राउज़र में खुलेगा.","settings.section.general-settings":"सामान्य","settings.section.git-settings":"Git","settings.section.local-environments":"एन्वायर्नमेंट्स","settings.section.mcp-settings":"MCP सर्वर्स","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"एक्सटर्नल टूल्स और डेटा सोर्सेस कनेक्ट करें.","settings.section.personalization":"पर्सनलाइज़ेशन","settings.section.skills-settings":"स्किल्स","settings.section.unavailable":"अभी Alpha में उपलब्ध नहीं है","settings.section.usage-analytics":"यूसेज और एनालिटिक्स","settings.section.worktrees":"वर्कट्रीज़","settings.threadDetail.description":"चुनें कि थ्रेड्स में कितना कमांड आउटपुट दिखाना है.","settings.threadDetail.label":"थ्रेड की डिटेल","settings.worktrees.conversation.untitled":"अनटाइटल्ड बातचीत","settings.worktrees.delete.error":"वर्क ट्री को डिलीट नहीं किया जा सका","settings.worktrees.empty.body":"Codex द्वारा बनाई गई वर्कट्रीज़ यहां दिखाई देंगी.","settings.worktrees.empty.title":"अभी तक कोई वर्कट्रीज़ नहीं है","settings.worktrees.error.body":"वर्कट्रीज़ लोड करते समय कुछ गड़बड़ हो गई.","settings.worktrees.error.retry":"दोबारा कोशिश करें","settings.worktrees.error.title":"वर्कट्रीज़ लोड नहीं की जा सकीं","settings.worktrees.loading.body":"वर्कट्री की डिटेल्स निकाली जा रही हैं.","settings.worktrees.loading.title":"वर्कट्रीज़ लोड की जा रही हैं","settings.worktrees.repository.loading":"रिपॉज़िटरी मेटाडेटा लोड की जा रही हैं…","settings.worktrees.repository.unknown":"अनजान रिपॉज़िटरी","settings.worktrees.row.conversations":"बातचीत","settings.worktrees.row.conversations.empty":"इस वर्कट्री से कोई बातचीतें जुड़ी नहीं हैं.","settings.worktrees.row.conversations.loading":"बातचीतें लोड की जा रही हैं...","settings.worktrees.row.delete":"डिलीट करें","settings.worktrees.row.title":"वर्कट्री","sidebarElectron.addWorkspaceRoot":"नया प्रोजेक्ट जोड़ें","sidebarElectron.archiveThread":"आर्काइव थ्रेड","sidebarElectron.archiveThreadError":"थ्रेड आर्काइव नहीं किया जा सका ","sidebarElectron.collapseFolder":"फ़ोल्डर को कोलैप्स करें","sidebarElectron.createStableWorktree":"पर्मानेंट वर्कट्री बनाएँ","sidebarElectron.createStableWorktree.dialog.ariaLabel":"प्रोजेक्ट का नाम","sidebarElectron.createStableWorktree.dialog.cancel":"कैंसल करें","sidebarElectron.createStableWorktree.dialog.create":"बनाएं","sidebarElectron.createStableWorktree.dialog.placeholder":"प्रोजेक्ट का नाम","sidebarElectron.createStableWorktree.dialog.subtitle":"HEAD से एक नई git वर्कट्री बनाएँ, इसे एक प्रोजेक्ट के तौर पर जोड़ें और इसे तब तक रखें जब तक आप इसे हटा नहीं देते.","sidebarElectron.createStableWorktree.dialog.title":"वर्कट्री बनाएँ और एक प्रोजेक्ट के तौर पर सेव करें.","sidebarElectron.createStableWorktree.error":"पर्मानेंट वर्कट्री नहीं बना पाए: {message}","sidebarElectron.debugNavLink":"डीबग करें","sidebarElectron.editWorkspaceRootOptionName":"नाम बदलें","sidebarElectron.expandFolder":"फ़ोल्डर को एक्स्पैंड करें","sidebarElectron.groupByMenu.recency":"क्रोनोलोजिकल लिस्ट","sidebarElectron.groupByMenu.title":"ऑर्गनाइज़ करें","sidebarElectron.groupByMenu.workspace":"प्रोजेक्ट के अनुसार","sidebarElectron.inboxRouteNavLink":"ऑटोमेशन्स","sidebarElectron.markThreadUnread":"नहीं पढ़े गए के तौर पर मार्क करें","sidebarElectron.missingWorkspaceRoot":"ये प्रोजेक्ट फ़ोल्डर डिलीट या मूव किया गया था","sidebarElectron.newThread":"नया थ्रेड","sidebarElectron.newThreadInGroup":"{folder} में नया थ्रेड शुरू करें","sidebarElectron.noRecentThreads":"कोई हालिया थ्रेड्स नहीं","sidebarElectron.noTasks":"कोई थ्रेड्स नहीं","sidebarElectron.noTasks.start":"एक नया प्रोजेक्ट जोड़ें","sidebarElectron.noTasksWithFilter":"कोई भी थ्रेड्स फ़िल्टर्स से मैच नहीं करते","sidebarElectron.pinnedThreads":"पिन किए हुए थ्रेड्स","sidebarElectron.recentNavLink":"थ्रेड्स","sidebarElectron.recentThreads":"हालिया थ्रेड्स","sidebarElectron.removeWorkspaceRootOption":"हटाएं","sidebarElectron.renameThread":"थ्रेड का नाम बदलें","sidebarElectron.renameThreadDialogAriaLabel":"थ्रेड का टाइटल","sidebarElectron.renameThreadDialogCancel":"कैंसल करें","sidebarElectron.renameThreadDialogPlaceholder":"एक टाइटल जोड़ें…","sidebarElectron.renameThreadDialogSave":"सेव करें","sidebarElectron.renameThreadDialogSubtitle":"इसे छोटा और पहचानने लायक रखें.","sidebarElectron.renameThreadDialogTitle":"थ्रेड का नाम बदलें","sidebarElectron.renameThreadError":"थ्रेड का नाम नहीं बदल पाए","sidebarElectron.renameWorkspaceRootOptionLabel":"डिस्प्ले होने वाला नाम","sidebarElectron.showLess":"कम दिखाएं","sidebarElectron.showMenu.all":"सारे थ्रेड्स","sidebarElectron.showMenu.relevant":"प्रासंगिक","sidebarElectron.showMenu.relevantHint":"सिर्फ़ मौजूदा ब्रांच, वर्कट्रीज़, या दूसरे थ्रेड्स के लिए हालिया थ्रेड्स दिखाएं जिन पर आपका ध्यान देने की ज़रुरत है.","sidebarElectron.showMenu.title":"दिखाएँ","sidebarElectron.showMenu.tooltip":"थ्रेड्स को फ़िल्टर करें, सॉर्ट करें, और ऑर्गनाइज़ करें","sidebarElectron.showMenu.trigger":"साइडबार थ्रेड्स फ़िल्टर करें","sidebarElectron.showMore":"और दिखाएं","sidebarElectron.skillsAppsRouteNavLink":"स्किल्स और ऐप्स","sidebarElectron.skillsRouteNavLink":"स्किल्स","sidebarElectron.sortMenu.created":"बनाया गया","sidebarElectron.sortMenu.title":"इसके अनुसार सॉर्ट करें","sidebarElectron.sortMenu.updated":"अपडेट किया गया","sidebarElectron.taskNavigation":"ऑटोमेशन फ़ोल्डर्स","sidebarElectron.tasksInFolder":"{folder} में ऑटोमेशन्स","sidebarElectron.workspaceOptions":"{folder} के लिए प्रोजेक्ट एक्शन्स","sidebarElectron.worktreeGroupTooltip":"ये एक गिट वर्कट्री है","skills.appsPage.apps.enableToggle":"ऐप को इनेबल करें","skills.appsPage.apps.installOnChatGpt":"ChatGPT पर इंस्टॉल करें","skills.appsPage.apps.manageOnChatGpt":"ChatGPT पर मैनेज करें","skills.appsPage.apps.noDescription":"कोई जानकारी नहीं","skills.appsPage.createSkill":"नई स्किल","skills.appsPage.empty.apps":"कोई ऐप्स नहीं मिले","skills.appsPage.empty.discoverApps":"खोजने के लिए कोई ऐप्स नहीं","skills.appsPage.empty.installedApps":"कोई इंस्टॉल किए गए ऐप्स नहीं","skills.appsPage.empty.skills":"कोई स्किल्स नहीं मिलीं","skills.appsPage.heading":"स्किल्स और ऐप्स","skills.appsPage.search.all":"स्किल्स और ऐप्स सर्च करें","skills.appsPage.search.all.label":"स्किल्स और ऐप्स सर्च करें","skills.appsPage.search.apps":"ऐप्स खोजें","skills.appsPage.search.apps.label":"ऐप्स खोजें","skills.appsPage.search.skills":"सर्च स्किल्स","skills.appsPage.search.skills.label":"सर्च स्किल्स","skills.appsPage.section.apps":"ऐप्स","skills.appsPage.section.apps.seeAll":"सभी {count} ऐप्स देखें","skills.appsPage.section.discover":"पता लगाएं","skills.appsPage.section.installedApps":"इंस्टॉल किया गया","skills.appsPage.section.skills":"स्किल्स","skills.appsPage.section.skills.seeAll":"सभी {count} स्किल्स देखें","skills.appsPage.subheading":"Codex को सुपरपॉवर्स दें.<link>और ज़्यादा जानें</link>","skills.appsPage.tab.apps":"ऐप्स","skills.appsPage.tab.recommended":"सुझाया गया","skills.appsPage.tab.skills":"स्किल्स","skills.card.contentsError":"स्किल कंटेंट्स लोड नहीं हो पा रहे हैं.","skills.card.disable":"डिसेबल करें","skills.card.disableSuccess":"{skillName} स्किल डिसेबल की गई","skills.card.disabledBadge":"डिसेबल किया गया","skills.card.enable":"इनेबल करें","skills.card.enableSuccess":"{skillName} स्किल इनेबल की गई","skills.card.loadingContents":"स्किल कंटेंट्स लोड किए जा रहे हैं...","skills.card.more":"और ज़्यादा एक्शन्स","skills.card.open":"खोलें","skills.card.removeFailed":"स्किल को अनइंस्टॉल नहीं कर पाए","skills.card.removeSuccess":"{skillName} स्किल अनइंस्टॉल की गई","skills.card.toggleEnabledError":"स्किल्स अपडेट नहीं हो सकीं","skills.card.try":"आज़माएं","skills.card.trySkill":"स्किल आज़माएं","skills.card.uninstall":"अनइंस्टॉल करें","skills.hero.dotLabel":"स्‍लाइड {index} पर जाएं","skills.hero.next":"अगली ख़ास स्किल","skills.hero.trySkill":"स्किल आज़माएं","skills.page.createSkill":"नई स्किल","skills.page.empty":"कोई स्किल्स नहीं मिलीं","skills.page.filteredEmpty":"कोई भी स्किल्स आपके फ़िल्टर्स से मैच नहीं करतीं","skills.page.filteredEmptyDescription":"अपने सर्च या स्कोप फ़िल्टर्स को एडजस्ट करके देखें","skills.page.heading":"स्किल्स","skills.page.loading":"स्किल्स लोड की जा रही हैं...","skills.page.refreshSkills":"रीफ़्रेश करें","skills.page.refreshSkillsToUseNew":"नई स्किल(ल्स) का इस्तेमाल करने के लिए रीफ़्रेश करें","skills.page.search":"सर्च स्किल्स","skills.page.search.label":"सर्च स्किल्स","skills.page.subheading":"Codex को सुपरपॉवर्स दें.<link>और ज़्यादा जानें</link>","skills.preview.copyPrompt":"प्रॉम्प्ट कॉपी करें","skills.preview.examplePrompt":"उदहारण प्रॉम्प्ट","skills.recommended.error":"सुझाई गई स्किल्स लोड नहीं हो पा रही हैं","skills.recommended.install":"इंस्टॉल करें","skills.recommended.installSkill":"स्किल इन्स्टॉल करें","skills.recommended.installSuccess":"{skillName} स्किल इंस्टॉल की गई","skills.recommended.installed":"इंस्टॉल किया गया","skills.scope.admin":"एडमिन","skills.scope.adminInstalled":"एडमिन इंस्टॉल किया गया","skills.scope.builtIn":"सिस्टम","skills.scope.personal":"निजी","skills.scope.repo":"रिपो","skills.scope.system":"सिस्टम","skills.scope.team":"Team","skills.scope.user":"यूज़र","skills.section.installed":"इंस्टॉल किया गया","skills.section.recommended":"सुझाया गया","story.slidingToggle.existing":"मौजूदा","story.slidingToggle.fromLocal":"लोकल से","story.slidingToggle.new":"नया","story.slidingToggle.toLocal":"लोकल में","terminal.close":"टर्मिनल बंद करें","terminal.title":"टर्मिनल","thinkingShimmer.default":"सोच रहा है","threadEnvIcon.cloudTooltip":"ये बातचीत Codex क्लाउड में रन हो रही है.","threadEnvIcon.localTooltip":"ये बातचीत लोकल तौर पर रन हो रही है.","threadEnvIcon.worktreeTooltip":"ये बातचीत लोकल गिट वर्कट्री में चल रही है.","threadHeader.archiveConfirmCancel":"कैंसल करें","threadHeader.archiveConfirmConfirm":"आर्काइव करें","threadHeader.archiveConfirmSubtitle":"आप इसे बाद में अपने आर्काइव किए गए थ्रेड्स में देख सकते हैं.","threadHeader.archiveConfirmTitle":"थ्रेड को आर्काइव करें?","threadHeader.copyAppLink":"Deeplink कॉपी करें","threadHeader.copySessionId":"सेशन ID कॉपी करें","threadHeader.copyWorkingDirectory":"वर्किंग डायरेक्टरी को कॉपी करें","threadHeader.forkIntoLocal":"लोकल में फ़ोर्क करें","threadHeader.forkIntoWorktree":"नई वर्कट्री में फ़ोर्क करें","threadHeader.forkPendingWorktreePrompt":"इस बातचीत को एक नई वर्कट्री में फ़ोर्क करें.","threadHeader.forkPendingWorktreeTitle":"फ़ोर्क की गई बातचीत","threadHeader.forkThreadError":"थ्रेड को फ़ोर्क नहीं किया जा सका","threadHeader.forkThreadRequiresGitRepo":"नई वर्कट्री में फ़ोर्क करने के लिए एक git रिपॉज़िटरी की ज़रुरत होती है","threadHeader.moreActions":"थ्रेड एक्शन्स","threadPage.newThread":"नया थ्रेड","threadPage.runAction.changeEnvironment":"एन्वायर्नमेंट बदलें","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} एक्शन्स","threadPage.runAction.environmentSelector.label":"एन्वायर्नमेंट चुनें","threadPage.runAction.label":"रन करें","threadPage.runAction.missing.label":"एक रन एक्शन सेट अप करें","threadPage.runAction.setup.commandLabel":"रन करने के लिए कमांड","threadPage.runAction.setup.description":"Codex को बताएं कि डिपेंडेंसीज़ कैसे इंस्टॉल करें और अपना ऐप कैसे शुरू करें.","threadPage.runAction.setup.editMore":"एन्वायर्नमेंट सेटिंग्स","threadPage.runAction.setup.placeholder":"जैसे कि: npm इंस्टॉल npm रन","threadPage.runAction.setup.submit":"सेव करके रन करें","threadPage.runAction.setup.title":"रन करें","threadPage.runAction.tooltip.withEnvironment":"{environmentName} एक्शन्स","threadPage.toggleDiffPanel":"डिफ पैनल को टॉगल करें","threadPage.toggleTerminal":"टर्मिनल टॉगल करें","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"फ़ोल्डर खोलें","toolSummaryForCmd.exploredFiles":"<verb>लिस्ट की गई</verb> फ़ाइलें","toolSummaryForCmd.exploredFilesInPath":"{path} में <verb>लिस्ट की गई</verb> फ़ाइलें","toolSummaryForCmd.exploringFiles":"फ़ाइलों को <verb>लिस्ट किया जा रहा है</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} में फ़ाइलों को <verb>लिस्ट किया जा रहा है</verb>","toolSummaryForCmd.finishedBackgroundTerminal":"बैकग्राउंड टर्मिनल पूरा हुआ","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"{command} के साथ बैकग्राउंड टर्मिनल पूरा हुआ","toolSummaryForCmd.ranGenericCommand":"<status>कमांड रन किया गया</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>रन किया गया</status>{command}{timer}","toolSummaryForCmd.read":"{path} <verb>पढ़ें</verb>","toolSummaryForCmd.runningGenericCommand":"<status>कमांड रन किया जा रहा है</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} के लिए","toolSummaryForCmd.searchedFor":"{query} के लिए <verb>सर्च की गई</verb>","toolSummaryForCmd.searchedForFiles":"फ़ाइलों के लिए <verb>सर्च की गईं</verb>","toolSummaryForCmd.searchedForInPath":"{path} में {query} के लिए <verb>सर्च की गईं</verb>","toolSummaryForCmd.searchingFor":"{query} के लिए <verb>सर्च किया जा रहा है</verb>","toolSummaryForCmd.searchingForFiles":"फ़ाइलों के लिए <verb>सर्च की जा रही है</verb>","toolSummaryForCmd.searchingForInPath":"{path} में {query} के लिए <verb>सर्च की जा रही है</verb>","toolSummaryForCmd.startedBackgroundTerminal":"बैकग्राउंड टर्मिनल शुरू हुआ","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"{command} के साथ बैकग्राउंड टर्मिनल शुरू हुआ","traceRecording.details.noteLabel":"जब यह हुआ तब आप क्या कर रहे थे? (ऑप्शनल)","traceRecording.details.notePlaceholder":"एक बड़े थ्रेड पर गए, फ़िर बार-बार टैब बदलते रहे…","traceRecording.details.submit":"ट्रेस भेजें","traceRecording.details.subtitle":"हम परफ़ॉर्मेंस से जुड़ी समस्याओं के निदान में मदद के लिए इस प्रोफ़ाइल ट्रेस को भेज सकते हैं.","traceRecording.details.title":"प्रोफ़ाइल ट्रेस भेजें?","traceRecording.progress.subtitle":"इसके पूरा होने तक Codex को खुला रखें.","traceRecording.saving.title":"ट्रेस को सेव किया जा रहा है...","traceRecording.startDetails.cancel":"कैंसल करें","traceRecording.startDetails.submit":"OK, रिकॉर्डिंग शुरू करें","traceRecording.startDetails.subtitle":"OK पर क्लिक करने के बाद, परफ़ॉर्मेंस से जुड़ी समस्या को दोबारा रीप्रोड्यूस करें, फ़िर रोकने और ट्रेस को रिव्यु करने के लिए फ़्लोटिंग रेड इंडिकेटर पर क्लिक करें.","traceRecording.startDetails.title":"ट्रेस रिकॉर्डिंग कैसे काम करती है","traceRecording.stopButton.ariaLabel":"ट्रेस रिकॉर्डिंग बंद करें","traceRecording.upload.successToast":"प्रोफ़ाइल ट्रेस भेजा गया.","traceRecording.uploading.title":"ट्रेस अपलोड किया जा रहा है…","wham.diff.addComment":"कमेंट जोड़ें","wham.diff.binaryFile":"बाइनरी फ़ाइल नहीं दिखाई गई","wham.diff.noContent":"कोई कंटेंट नहीं","wham.fileTag.deleted":"डिलीट किया गया","wham.fileTag.new":"नया","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}mo","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}w","wham.formattedRelativeDateTime.compactYearsAgo":"{value}y","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"आपकी टास्क पर काम किया जा रहा है","wham.whamProposedTask.title":"सुझाया गया टास्क","wham.whamProposedTask.useSuggestion":"सुझाव का इस्तेमाल करें","workspaceRootDialog.addError":"प्रोजेक्ट को नहीं जोड़ा जा सका","workspaceRootDialog.cancel":"कैंसल करें","workspaceRootDialog.confirmAdd":"प्रोजेक्ट डालें","workspaceRootDialog.confirmPick":"प्रोजेक्ट का इस्तेमाल करें","workspaceRootDialog.description":"{host} पर एक पाथ डालें जिसका इस्तेमाल एक प्रोजेक्ट के तौर पर किया जा सके.","workspaceRootDialog.pathLabel":"प्रोजेक्ट पाथ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"प्रोजेक्ट पाथ डालें","workspaceRootDialog.title.pick":"प्रोजेक्ट पाथ चुनें","worktreeInitV2.cancel":"कैंसल करें","worktreeInitV2.notification.failedTitle":"वर्कट्री सेटअप फ़ेल हो गया","worktreeInitV2.output.empty":"आउटपुट का इंतज़ार है","worktreeInitV2.status.error":"वर्कट्री सेटअप फ़ेल हो गया.","worktreeInitV2.status.running":"एक वर्कट्री बनाना और सेटअप रन करना.","worktreeInitV2.status.runningFork":"इस बातचीत को आगे बढ़ाने के लिए एक वर्कट्री बनाई जा रही है.","worktreeInitV2.status.success":"वर्कट्री तैयार है.","worktreeInitV2.title":"वर्कट्री बनाई जा रही है","worktreeInitV2.workLocallyInstead":"इसके बजाय लोकल तौर पर काम करें","worktreeRestoreBanner.body":"डिस्क स्पेस बचाने के लिए इस थ्रेड की वर्कट्री हटा दी गई है","worktreeRestoreBanner.missing.body":"इस थ्रेड की वर्किंग डायरेक्टरी अब मौजूद नहीं है","worktreeRestoreBanner.missing.title":"मौजूदा वर्किंग डायरेक्टरी गायब है","worktreeRestoreBanner.restore.error":"वर्कट्री को रीस्टोर नहीं कर पाए: {message}","worktreeRestoreBanner.restore.success":"वर्कट्री रीस्टोर की गई","worktreeRestoreBanner.restoreCta":"वर्कट्री को रीस्टोर करें","worktreeRestoreBanner.title":"वर्कट्री की सफ़ाई की गई"};Object.assign(e,globalThis.codexI18nOverrides?.["hi-IN"]);export{e as default};
 //# sourceMappingURL=hi-IN-z49PK34r.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopiraj","app.sidebar.hide":"Sakrij bočnu traku","app.sidebar.show":"Prikaži bočnu traku","app.sidebar.tooltip":"Uključi/isključi bočnu traku","appHeader.installUpdate":"Ažuriraj","appSunset.body":"Ova inačica aplikacije više nije podržana. Preuzmite najnoviju inačicu <here>ovdje</here>.","appSunset.title":"Ažuriranje je potrebno","automation.updateDirective.create":"Stvori","automation.updateDirective.open":"Otvori","automation.updateDirective.untitled":"Automatizacija bez naslova","automation.updateDirective.update":"Ažuriraj","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# pokušaj} few {# pokušaja} other {# pokušaja}}","cloudTaskRow.archiveError":"Neuspješno arhiviranje zadatka","code.diff.requestChange":"Zatraži promjenu","code.diffComment.cancel":"Otkaži","code.diffComment.comment":"Komentiraj","code.diffComment.delete":"Izbriši","code.diffComment.save":"Spremi","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nisu prijavljeni nikakvi nalazi.","codex.alert.closeAriaLabel":"Zatvori","codex.appUpsellBanner.cbpApi.message":"Gradite brže aplikacijom Codex. Preuzmite sada ili {learnMoreLink}.","codex.appUpsellBanner.download":"Preuzmi","codex.appUpsellBanner.freeGo.message":"Codex je obuhvaćen vašim planom do 2. ožujka. Isprobajte aplikaciju Codex za bržu izgradnju.","codex.appUpsellBanner.later":"Poslije","codex.appUpsellBanner.learnMoreLowercase":"saznajte više","codex.appUpsellBanner.new":"Novo","codex.appUpsellBanner.proPlusBusiness.message":"Isprobajte aplikaciju Codex s dva puta većim ograničenjima do 2. travnja. Preuzmite sada ili {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikacija Codex","codex.applyDropdown.header.changes":"Promjene","codex.applyDropdown.header.fileCount":"{count, plural, one {# datoteka} few {# datoteke} other {# datoteka}}","codex.applyDropdown.header.rows":"redci","codex.applyDropdown.header.title":"Primijeni promjene","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {datoteka u konfliktu:} few {{count} datoteke u konfliktu:} other {{count} datoteka u konfliktu:}}","codex.applyDropdown.results.empty":"Nema kopiranih datoteka","codex.applyDropdown.results.skipped":"{count, plural, one {1 preskočena datoteka:} few {{count} preskočene datoteke:} other {{count} preskočenih datoteka:}}","codex.applyOrRevertBanner.apply":"Primijeni","codex.applyOrRevertBanner.applyMessage":"Primijeniti promjene i nastaviti lokalno?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ovaj je zadatak napravljen u okružju {environment}, pa se možda neće ispravno primijeniti.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Promjene napravljene u okružju {environment} možda se neće ispravno primijeniti.","codex.applyOrRevertBanner.reapply":"Ponovno primijeni","codex.applyOrRevertBanner.revert":"Vrati na prethodno","codex.applyOrRevertBanner.revertMessage":"Poništiti primijenjene promjene?","codex.applyResultsDialog.applied":"Čisto primijenjeno ({count})","codex.applyResultsDialog.close":"Zatvori","codex.applyResultsDialog.conflicted":"U konfliktu ({count})","codex.applyResultsDialog.noDetails":"Pojedinosti o datoteci nisu dostupne.","codex.applyResultsDialog.skipped":"Preskočeno ({count})","codex.applyResultsDialog.title":"Primijeni rezultate","codex.archiveInfo":"Prikaži arhivirana čavrljanja u {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Postavke za podatke","codex.archiveInfo.electron":"Prikaži arhivirana čavrljanja u {settingsLink}","codex.archiveInfo.extension":"Prikaži arhivirana čavrljanja u vašoj mapi .codex.","codex.archiveInfo.settingsLink":"Postavke","codex.banner.content.description":"Paralelno izvršava zadatke, prati napredak bilo gdje i pregledava PR-ove umjetnom inteligencijom.","codex.banner.content.headline":"Codex može sve.","codex.cloudTaskRow.archiveTask":"Arhiviraj zadatak","codex.cloudTaskRow.confirmArchiveTask":"Potvrdi","codex.command.feedback":"Povratne informacije","codex.command.findInThread":"Pronađi","codex.command.forceReloadSkills":"Prisilno ponovno učitaj vještine","codex.command.logOut":"Odjava","codex.command.manageTasks":"Upravljaj zadatcima","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Natrag","codex.command.navigateForward":"Naprijed","codex.command.newThread":"Novi razgovor","codex.command.nextThread":"Sljedeći razgovor","codex.command.openFolder":"Otvori mapu","codex.command.openSkills":"Idi na vještine","codex.command.openThreadOverlay":"Otvori razgovor","codex.command.personalitySettings":"Osobnost","codex.command.previousThread":"Prethodni razgovor","codex.command.settings":"Postavke","codex.command.toggleDiffPanel":"Prebaci ploču diffa","codex.command.toggleSidebar":"Uključi/isključi bočnu traku","codex.command.toggleTerminal":"Uključi/isključi terminal","codex.commandGroup.app":"Aplikacija","codex.commandGroup.configure":"Konfiguriraj","codex.commandGroup.navigation":"Navigacija","codex.commandGroup.panels":"Ploče","codex.commandGroup.skills":"Vještine","codex.commandGroup.thread":"Razgovor","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Nema podudaranja","codex.commandMenu.searchPlaceholder":"Pretražite naredbe","codex.commandMenu.suggestedGroup":"Predloženo","codex.commandMenu.switchWorkspace":"Zamijeni projekt","codex.commandMenu.title":"Izbornik naredbi","codex.common.retry":"Pokušaj ponovno","codex.composer.searchBranches":"Pretraži ogranke","codex.dialog.basic.body":"Ovo je jednostavan modalni dijalog koji upotrebljava naš omotač oko stavke Radix Dialog.","codex.dialog.basic.cancel":"Otkaži","codex.dialog.basic.confirm":"Potvrdi","codex.dialog.basic.open":"Otvori dijalog","codex.dialog.basic.title":"Uzorak dijaloga","codex.dialog.long.close":"Zatvori","codex.dialog.long.line":"Pomični redak {index} za prikaz dugog sadržaja unutar dijaloga.","codex.dialog.long.open":"Otvori dugi dijalog","codex.dialog.long.title":"Dijalog s dugim sadržajem","codex.dialog.unstyled.body":"Ova priča prikazuje kako pozivatelji mogu u potpunosti kontrolirati stiliziranje sadržaja dijaloga.","codex.dialog.unstyled.open":"Otvori nestilizirani dijalog","codex.dialog.unstyled.title":"Nestilizirani sadržaj","codex.diff.openInEditorPrompt.openButton":"Otvori u uređivaču","codex.diff.openInEditorPrompt.singleLine":"Ova je datoteka prevelika da bi se prikazala ovdje.","codex.diffView.failedToDecodeBase64Diff":"Neuspješno dešifriranje base64 razlikovnog prikaza","codex.diffView.filesChanged":"{fileCount, plural, one {# promijenjena datoteka} few {# promijenjene datoteke} other {# promijenjenih datoteka}}","codex.diffView.imagePreviewAlt":"Pretpregled slike","codex.diffView.imagePreviewEmpty":"Bez slike","codex.diffView.linesAdded":"+ {linesAdded}","codex.diffView.linesDeleted":"- {linesDeleted}","codex.diffView.noDiffData":"Nema razlikovnih podataka","codex.diffView.pdfPreview.nextPage":"Sljedeća stranica","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Prethodna stranica","codex.diffView.pdfPreviewEmpty":"Nema pretprikaza PDF-a","codex.diffView.pdfPreviewError":"Nije moguće renderirati pretprikaz PDF-a","codex.diffView.richPreviewDisable":"Onemogući prošireni pretprikaz","codex.diffView.richPreviewEnable":"Omogući prošireni pretprikaz","codex.diffView.richPreviewLoading":"Učitavanje pretprikaza…","codex.diffView.richPreviewToggle":"Uključi/isključi prošireni pretprikaz","codex.diffView.switchToUnified":"Prebaci na ujedinjeni prikaz razlika","codex.environmentSelector.noEnvironment":"Bez okružja","codex.environments.environmentSettings":"Postavke okružja","codex.environments.learnMore":"Saznajte više","codex.environments.listError":"Neuspješno učitavanje okružja.","codex.environments.noEnvironmentsFound":"Nema pronađenih okružja","codex.environments.searchError":"Neuspješno pretraživanje okružja.","codex.errorBoundary.genericError":"Došlo je do pogreške","codex.errorBoundary.goHome":"Pokušaj ponovno","codex.file.patch.missing":"Nije moguće napraviti zakrpu za ovu datoteku.","codex.gallery.automations.cwdLabel":"Projekti","codex.gallery.automations.nameLabel":"Naziv","codex.gallery.automations.namePlaceholder":"Sažmi zadatak","codex.gallery.automations.promptLabel":"Odzivnik","codex.gallery.automations.promptPlaceholder":"Opiši što bi Codex trebao učiniti","codex.gallery.dialogs.automation.label":"Dijalog automatizacije","codex.gallery.dialogs.basic.body":"Upotrijebi ovaj raspored za jednostavne potvrde ili kratke obrasce.","codex.gallery.dialogs.basic.cancel":"Otkaži","codex.gallery.dialogs.basic.confirm":"Potvrdi","codex.gallery.dialogs.basic.label":"Osnovni dijalog","codex.gallery.dialogs.basic.title":"Uzorak dijaloga","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Opišite problem","codex.gallery.dialogs.feedbackSubmission.bad":"Loš rezultat","codex.gallery.dialogs.feedbackSubmission.bug":"Pogreška","codex.gallery.dialogs.feedbackSubmission.good":"Dobar rezultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Obuhvati trenutačne zapise sesije Codexa","codex.gallery.dialogs.feedbackSubmission.label":"Slanje povratnih informacija","codex.gallery.dialogs.feedbackSubmission.other":"Drugo","codex.gallery.dialogs.feedbackSubmission.placeholder":"Ovdje opišite problem","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"Sigurnosna provjera","codex.gallery.dialogs.feedbackSubmission.submit":"Pošalji","codex.gallery.dialogs.feedbackSubmission.title":"Povratne informacije","codex.gallery.dialogs.feedbackSuccess.body":"Povratne informacije učitane su. Ako problem i dalje postoji, otvorite problem GitHub ili spomenite ID teme u postojećem otvorenom problemu:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Odbaci","codex.gallery.dialogs.feedbackSuccess.label":"Povratne informacije uspješne","codex.gallery.dialogs.feedbackSuccess.title":"Povratne informacije učitane","codex.gallery.dialogs.gitApplyResults.applied":"Čisto primijenjeno (2)","codex.gallery.dialogs.gitApplyResults.close":"Zatvori","codex.gallery.dialogs.gitApplyResults.conflicted":"U konfliktu (1)","codex.gallery.dialogs.gitApplyResults.label":"Primijeni rezultate","codex.gallery.dialogs.gitApplyResults.title":"Primijeni rezultate","codex.gallery.dialogs.gitPushError.body":"Preuzmite najnovije promjene ili prisilno pošaljite ako znate da je sigurno prebrisati daljinsku povijest.","codex.gallery.dialogs.gitPushError.cancel":"Otkaži","codex.gallery.dialogs.gitPushError.force":"Prisilno pošalji","codex.gallery.dialogs.gitPushError.label":"Pogreška slanja","codex.gallery.dialogs.gitPushError.subtitle":"Vaša grana se nalazi iza izvorne/glavne.","codex.gallery.dialogs.gitPushError.title":"Neuspješno slanje promjena","codex.gallery.dialogs.gitRevert.cancel":"Otkaži","codex.gallery.dialogs.gitRevert.confirm":"Vrati na prethodno","codex.gallery.dialogs.gitRevert.label":"Vrati promjene na prethodno","codex.gallery.dialogs.gitRevert.skip":"Ne pitaj ponovno","codex.gallery.dialogs.gitRevert.subtitle":"Ova radnja uklanja sve te promjene.","codex.gallery.dialogs.gitRevert.title":"Vratiti promjene na prethodno?","codex.gallery.dialogs.longForm.label":"Dugačak oblik dijaloga","codex.gallery.dialogs.proseModal.body":"Ovaj modalni stil upotrebljava se za duže upute, uvođenje ili blokove bogatog sadržaja.","codex.gallery.dialogs.proseModal.close":"Zatvori","codex.gallery.dialogs.proseModal.subtitle":"Ovdje podijelite dulji oblik uputa ili dokumentaciju.","codex.gallery.dialogs.proseModal.title":"Prozni modal","codex.gallery.dialogs.submitBlocked.label":"Slanje blokirano","codex.gallery.dialogs.submitBlocked.message":"Vaša poruka nije mogla biti poslana jer projekt nije dostupan.","codex.gallery.dialogs.submitBlocked.ok":"U redu","codex.gallery.dialogs.submitBlocked.title":"Nije moguće poslati poruku","codex.gallery.dialogs.title":"Dijalozi","codex.gallery.dropdown.filterPlaceholder":"Filtriraj stavke","codex.gallery.dropdowns.actionRow":"Redci radnji","codex.gallery.dropdowns.actionRow.disabled":"Onemogućena radnja","codex.gallery.dropdowns.actionRow.primary":"Primarna radnja","codex.gallery.dropdowns.actionRow.secondary":"Sekundarna radnja","codex.gallery.dropdowns.actionRow.trigger":"Prikaži radnje","codex.gallery.dropdowns.basic":"Osnovna padajuća stavka","codex.gallery.dropdowns.basic.newFile":"Nova datoteka","codex.gallery.dropdowns.basic.newFolder":"Nova mapa","codex.gallery.dropdowns.basic.openSettings":"Otvori postavke","codex.gallery.dropdowns.basic.title":"Brze radnje","codex.gallery.dropdowns.basic.trigger":"Otvori izbornik","codex.gallery.dropdowns.basic.upload":"Prijenos","codex.gallery.dropdowns.panel":"Površina ploče","codex.gallery.dropdowns.panel.apply":"Primijeni","codex.gallery.dropdowns.panel.body":"Pregledajte diffove i primijenite ih na svoj projekt.","codex.gallery.dropdowns.panel.preview":"Pretpregled","codex.gallery.dropdowns.panel.title":"Primijeni promjene","codex.gallery.dropdowns.panel.trigger":"Otvori ploču","codex.gallery.dropdowns.search":"Padajuća stavka koja se može pretražiti","codex.gallery.dropdowns.search.first":"Kanal Alpha","codex.gallery.dropdowns.search.second":"Ogranak Beta","codex.gallery.dropdowns.search.third":"Otpusti kandidata","codex.gallery.dropdowns.search.trigger":"Filtriraj stavke","codex.gallery.dropdowns.submenu":"Padajuća stavka s podizbornikom","codex.gallery.dropdowns.submenu.optionA":"Projekt alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Dodijeli vlasnika","codex.gallery.dropdowns.submenu.secondary":"Premjesti na","codex.gallery.dropdowns.submenu.tertiary":"Arhiviraj","codex.gallery.dropdowns.submenu.trigger":"Odaberi radnju","codex.gallery.dropdowns.title":"Padajuće stavke","codex.gallery.inbox.automations.close":"Zatvori","codex.gallery.inbox.automations.popover.cardTitle":"Upravljanje automatizacijama","codex.gallery.inbox.automations.popover.dialogTitle":"Upravljanje automatizacijama","codex.header.settingsTooltip":"Postavke","codex.hunk.patch.error":"Neuspješna priprema","codex.hunk.patch.missing":"Nije moguće napraviti zakrpu za ovaj blok.","codex.hunk.patch.partialSuccess":"Djelomično uspješno.","codex.hunk.patch.revertError":"Neuspješno poništavanje pripreme","codex.hunk.patch.revertSuccess":"Poništavanje pripreme uspješno","codex.hunk.patch.success":"Priprema uspješna","codex.legal.autonomy.details":"Za više pojedinosti pročitajte {link}","codex.legal.autonomy.details.link":"Dokumenti Codexa","codex.legal.autonomy.title":"Odlučite razinu autonomije koju želite dati","codex.legal.backButton":"Natrag","codex.legal.cloud.taskOne.meta":"openai/agi · 12. listopada","codex.legal.cloud.taskOne.title":"Objasni repozitorij novom dizajneru","codex.legal.cloud.taskThree.meta":"openai/codex · 8. listopada","codex.legal.cloud.taskThree.stats.negative":"- 123","codex.legal.cloud.taskThree.stats.positive":"+ 249","codex.legal.cloud.taskThree.title":"Izradi temu tamnog načina rada","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. listopada","codex.legal.cloud.taskTwo.stats.negative":"- 20","codex.legal.cloud.taskTwo.stats.positive":"+ 2","codex.legal.cloud.taskTwo.title":"Popravi pogrešku uvođenja","codex.legal.continue.apikey":"Nastavi","codex.legal.continueButton":"Dalje","codex.legal.copilot.details":"Upotrebljava vaš plan za Copilot za sve pozive modela, naplatu i ograničenja učestalosti. Uporaba proširenja Codex podliježe: {oaiTos} i {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Odredbe usluge GitHub","codex.legal.copilot.oaiTosLink":"Odredbe usluge OpenAI Codex","codex.legal.copilot.title":"Pokreće GitHub Copilot","codex.legal.mistakes.review":"Pregledavajte kod koji piše i naredbe koje izvršava","codex.legal.mistakes.title":"Codex može pogriješiti","codex.legal.powered.details":"Upotrebljava ograničenja učestalosti vašeg plana i {link}","codex.legal.powered.details.link":"preferencije podataka za obuku","codex.legal.powered.title":"Pokreće vaš račun za ChatGPT","codex.legal.step.cloud.subtitle":"Pošaljite Codexu zadatke koji će se izvršavati u pozadini da biste zadržali fokus na onome što radite i brže napredovali.","codex.legal.step.cloud.title":"Predajte Codexu u oblaku","codex.legal.step.intro.subtitle":"Codex pristupa, uređuje, izvršava naredbe i provodi testiranja izravno u vašem repozitoriju. Pokreće ga vaš račun za ChatGPT.","codex.legal.step.intro.title":"Codex u vašem integriranom razvojnom okružju","codex.legal.step.todo.subtitle":"Napišite komentar TODO i jednim ga klikom pretvorite u zadatak za Codex.","codex.legal.step.todo.title":"Pretvorite stavke TODO u zadatke za Codex","codex.legal.todo.heading":"// TODO: primijeni shemu","codex.localConversation.closeImagePreview":"Zatvori pretprikaz slike","codex.localConversation.userImageAttachment":"Privitak korisnika","codex.localTaskRow.archiveTask":"Arhiviraj nit","codex.localTaskRow.awaitingApproval":"Čeka odobrenje","codex.localTaskRow.awaitingResponse":"Čekanje na odgovor","codex.localTaskRow.confirmArchiveTask":"Potvrdi","codex.loggedOut.apiKeyPrompt.cancel":"Otkaži","codex.loggedOut.apiKeyPrompt.confirm":"U redu","codex.loggedOut.apiKeyPrompt.getKey":"Zatražite ključ za API","codex.loggedOut.apiKeyPrompt.inputLabel":"Upišite svoj OpenAI ključ za API","codex.loggedOut.apiKeyPrompt.placeholder":"sk-…","codex.loggedOut.cloudTasksDisabledWithApiKey":"Zadaci u oblaku onemogućeni su ključem za API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Zadaci u oblaku onemogućeni su s pomoću Copilota i ključa za API","codex.loggedOut.signIn":"Prijavite se vjerodajnicama za ChatGPT","codex.loggedOut.signIn.cancel":"Otkaži prijavu","codex.loggedOut.signInWithCopilot":"Prijavite se vjerodajnicama za GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Upotrijebi ključ za API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} alat","codex.mcpTool.collapsedLabel.verb.called":"Pozvano","codex.mcpTool.collapsedLabel.verb.calling":"Pozivam","codex.mcpTool.embeddedResource.contentLabel":"Sadržaj","codex.mcpTool.embeddedResource.mimeTypeLabel":"Vrsta MIME-a","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Alat je vraćen, nema sadržaja","codex.mcpTool.rawPayloadHeading":"Sirovi {server}. Podatci poziva alata {tool}","codex.menu.recent":"Nedavno","codex.menu.seeAllHistory":"Prikaži svu povijest","codex.modelCapacityBanner.headline.noReset":"{modelName} trenutačno je pri kapacitetu. Ponovno pokušajte kasnije ili započnite novi razgovor s drugim modelom.","codex.modelCapacityBanner.headline.withReset":"{modelName} trenutačno je pri kapacitetu. Ponovno pokušajte nakon {resetDate} ili započnite novi razgovor s drugim modelom.","codex.modelCapacityBanner.title":"Odabrani je model pri kapacitetu","codex.patch.change.contentsDeleted":"Sadržaji su izbrisani","codex.patch.change.created":"Stvoreno","codex.patch.change.created-file":"Izrađena datoteka","codex.patch.change.creating":"Stvara se","codex.patch.change.deleted":"Izbrisano","codex.patch.change.deleted-file":"Izbrisana datoteka","codex.patch.change.deleting":"Brisanje","codex.patch.change.edited":"Uređeno","codex.patch.change.edited-file":"Uređena datoteka","codex.patch.change.editing":"Uređivanje","codex.patch.change.noChanges":"Bez promjena","codex.patch.change.rejected-add":"Odbijeno","codex.patch.change.rejected-delete":"Odbijeno","codex.patch.change.rejected-edit":"Odbijeno","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Dovršeni zadaci: {completed} od {total}","codex.plan.todoListCreated":"Stvoren je popis obveza s {total} zadataka","codex.profileDropdown.apiKeyAuth":"Prijavljen ključem za API","codex.profileDropdown.codexSettings":"Postavke za Codex","codex.profileDropdown.copilotAuth":"Prijavljen vjerodajnicama Copilota","codex.profileDropdown.defaultAccountTitle":"Zadani račun","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter za slanje dugih odzivnika","codex.profileDropdown.enterBehaviorError":"Neuspješno ažuriranje postavke","codex.profileDropdown.getPlus":"Nadogradite za veća ograničenja","codex.profileDropdown.keyboardShortcuts":"Tipkovni prečaci","codex.profileDropdown.language":"Jezik","codex.profileDropdown.languageDefault":"Automatsko otkrivanje","codex.profileDropdown.languageSearchPlaceholder":"Pretražite jezike","codex.profileDropdown.languageUpdateError":"Neuspješno ažuriranje jezika","codex.profileDropdown.logOut":"Odjavi se","codex.profileDropdown.mcp":"Postavke MCP-a","codex.profileDropdown.openConfigToml":"Otvori config.toml","codex.profileDropdown.openConfigToml.wsl":"Otvori config.toml u okružju WSL","codex.profileDropdown.openExtensionSettings":"Otvori postavke","codex.profileDropdown.openMcpSettings":"Otvori postavke MCP-a","codex.profileDropdown.openOnStartup":"Otvori prilikom pokretanja","codex.profileDropdown.openOnStartupError":"Neuspješno ažuriranje postavke","codex.profileDropdown.openSkillsSettings":"Otvori postavke vještina","codex.profileDropdown.personalAccountTitle":"Osobni račun","codex.profileDropdown.queueFollowUps":"Stavi praćenja u red čekanja","codex.profileDropdown.queueFollowUpsError":"Neuspješno ažuriranje postavke","codex.profileDropdown.readDocs":"Pročitaj dokumente","codex.profileDropdown.readSkillsDocs":"Pročitaj dokumente","codex.profileDropdown.runInWsl":"Pokreni u WSL-u","codex.profileDropdown.runInWslError":"Neuspješno ažuriranje postavke","codex.profileDropdown.runInWslTooltip":"Pokreće Codex unutar WSL-a. Preporučuje se za poboljšanu sigurnost pješčanika i bolju izvedbu.","codex.profileDropdown.settings":"Postavke integriranog razvojnog okružja","codex.profileDropdown.settingsPage":"Postavke","codex.profileDropdown.signInWithOpenAI":"Prijavite se vjerodajnicama za ChatGPT","codex.profileDropdown.skills":"Postavke vještina","codex.profileDropdown.switchToCopilotAccount":"Upotrijebi račun za Copilot","codex.profileDropdown.switchToOpenAIAccount":"Upotrijebi račun za OpenAI","codex.profileDropdown.todoCodelens":"Popravi komentare TODO","codex.profileDropdown.todoCodelensError":"Neuspješno ažuriranje postavke","codex.profileDropdown.windowsDocumentation":"Dokumenti za Windows","codex.profileFooter.signedInFallback":"Postavke","codex.profileFooter.upgrade":"Nadogradi","codex.recentTasksMenu.clearSearch":"Očisti pretraživanje","codex.recentTasksMenu.cloud":"Zadaci u oblaku","codex.recentTasksMenu.count":"{count, plural, =0 {Nema zadataka u tijeku} one {# zadatak u tijeku} few {# zadatka u tijeku} other {# zadatka u tijeku}}","codex.recentTasksMenu.empty":"Još nema razgovora","codex.recentTasksMenu.errorCloud":"Neuspješno učitavanje zadataka.","codex.recentTasksMenu.errorCloud.inline":"Neuspješno učitavanje zadataka u oblaku.","codex.recentTasksMenu.filterAll":"Sve","codex.recentTasksMenu.filterCloudTasks":"Filtriranje zadataka u oblaku","codex.recentTasksMenu.filterTooltip":"Filtriraj zadatke prema okružju","codex.recentTasksMenu.local":"Lokalni zadaci","codex.recentTasksMenu.recent":"Svi zadaci","codex.recentTasksMenu.search":"Pretraži nedavne zadatke","codex.recentTasksMenu.searchEmpty":"Nema rezultata","codex.recentTasksMenu.tooltip":"Povijest zadatka","codex.recentTasksMenu.trigger":"Nedavni zadatci. {count, plural, one {# u tijeku} few {# u tijeku} other {# u tijeku}}","codex.remoteConversation.applyDiff.applyCta":"Primijeni promjene","codex.remoteConversation.applyDiff.dropdownTitle":"Primijeni promjene na lokalni ogranak","codex.remoteConversation.applyDiff.revertCta":"Vrati promjene na prethodno","codex.remoteConversation.closeImagePreview":"Zatvori pretprikaz slike","codex.remoteConversation.codexCloudTask":"Gledate zadatak <u>Codex Cloud</u>","codex.remoteConversation.errorWithMessage":"Pogreška: {message}","codex.remoteConversation.loadingImage":"Učitavanje slike","codex.remoteConversation.openInWeb":"Otvori na mreži","codex.remoteConversation.streaming":"Početak rada","codex.remoteConversation.turnFailed":"Došlo je do pogreške tijekom ovog zadatka","codex.remoteConversation.turnTab.loading":"Pokušaj {number}","codex.remoteConversation.turnTab.title":"Pokušaj {number}","codex.remoteConversation.userImageAttachment":"Privitak korisnika","codex.remoteConversation.viewPreviousTurns":"Otvori na mreži","codex.remoteConversation.viewPreviousTurns.buttonText":"Otvori","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Otvori na mreži","codex.review.copyGitApplyCommand":"Kopiraj naredbu git apply","codex.review.copyGitApplyCommand.toast":"U međuspremnik kopirana je naredba git apply","codex.review.diffTooLarge.description":"Diff je prevelik da bi se prikazao u pregledu.","codex.review.diffTooLarge.title":"Diff je prevelik da bi se prikazao","codex.review.expandOrCollapseDiffButton.collapse":"Skupi sve diffove","codex.review.expandOrCollapseDiffButton.expand":"Proširi sve diffove","codex.review.expandOrCollapseDiffMenu.collapse":"Skupi sve diffove","codex.review.expandOrCollapseDiffMenu.expand":"Proširi sve diffove","codex.review.fileSearch.clear":"Očisti filtar datoteka","codex.review.fileSearch.empty":"Nijedna datoteka ne odgovara trenutačnom filtru.","codex.review.fileSearch.label":"Filtriraj datoteke","codex.review.fileSearch.placeholder":"Filtriranje datoteka…","codex.review.filesChanged":"{num, plural, =0 {Nema promijenjenih datoteka} one {# promijenjena datoteka} few {# promijenjene datoteke} other {# promijenjenih datoteka}}","codex.review.find.loadMore":"Učitaj više podudaranja","codex.review.fullReview.hideFileTree":"Sakrij stablo datoteka","codex.review.fullReview.showFileTree":"Prikaži stablo datoteka","codex.review.header.moreOptions":"Mogućnosti pregleda","codex.review.largeDiff.banner":"Otkriven je veliki diff – prikazuje se jedna datoteka istodobno.","codex.review.loadFullFiles.disable":"Nemoj učitati pune datoteke","codex.review.loadFullFiles.enable":"Učitaj pune datoteke","codex.review.noDiff":"Promjene datoteke pojavit će se ovdje","codex.review.noDiff.gitInit.createRepository":"Izradi repozitorij git","codex.review.noDiff.gitInit.creating":"Izrađujem…","codex.review.noDiff.gitInit.error":"Git init neuspješan: {message}","codex.review.noDiff.gitInit.success":"Izrađen repozitorij git","codex.review.noDiff.gitRepoRequired.description":"Praćenje i poništavanje promjena u ovom projektu","codex.review.noDiff.gitRepoRequired.title":"Izradi repozitorij Git","codex.review.noDiff.orNoLongerAvailable":"ili nedavni diffovi više nisu dostupni","codex.review.noDiff.reverted":"Posljednji potez vraćen je","codex.review.noDiff.revertedOrCommitted":"Posljednji potez vraćen je ili spremljen (committed)","codex.review.refreshGitQueries":"Osvježi","codex.review.revert.file.error":"Neuspješno vraćanje {path}","codex.review.revert.file.partialSuccess":"Djelomično vraćeno {path}","codex.review.revert.file.success":"Vraćeno {path}","codex.review.revert.hunk.error":"Neuspješno vraćanje bloka na prethodno {hunkNumber} u {path}","codex.review.revert.hunk.partialSuccess":"Djelomično vraćanje bloka na prethodno {hunkNumber} u {path}","codex.review.revert.hunk.success":"Blok vraćen na prethodno {hunkNumber} u {path}","codex.review.revert.section.error":"Neuspješno vraćanje odjeljka na prethodno","codex.review.revert.section.partialSuccess":"Djelomično vraćanje odjeljka","codex.review.revert.section.success":"Odjeljak vraćen","codex.review.revertDialog.cancel":"Otkaži","codex.review.revertDialog.confirm":"Potvrdi","codex.review.revertDialog.message":"Ova radnja uklanja sve te promjene.","codex.review.revertDialog.skip":"Ne pitaj ponovno","codex.review.revertDialog.title":"Vratiti promjene na prethodno?","codex.review.richPreview.disable":"Onemogući prošireni pretprikaz","codex.review.richPreview.enable":"Omogući prošireni pretprikaz","codex.review.source.cloud":"Promjene oblaka","codex.review.source.local.all":"Sve promjene ogranka","codex.review.source.local.lastTurn":"Posljednje promjene poteza","codex.review.source.local.uncommitted":"Nespremljene promjene","codex.review.source.worktree":"Promjene radnog stabla (uncommitted)","codex.review.stageFilter.empty.staged.description":"Prihvatite uređivanja za njihovu pripremu","codex.review.stageFilter.empty.staged.title":"Nema pripremljenih promjena","codex.review.stageFilter.empty.unstaged.description":"Promjene kôda pojavit će se ovdje","codex.review.stageFilter.empty.unstaged.title":"Nema nepripremljenih promjena","codex.review.stageFilter.staged":"Pripremljeno","codex.review.stageFilter.staged.count":"Pripremljeno · {count}","codex.review.stageFilter.unstaged":"Nepripremljeno","codex.review.stageFilter.unstaged.count":"Nepripremljeno · {count}","codex.review.switchToSplit":"Prebaci na podijeljeni diff","codex.review.switchToUnified":"Prebaci na ujedinjeni prikaz razlika","codex.review.toggleDiffView":"Prebaci prikaza diffa","codex.review.wordDiffs.disable":"Onemogući diffove riječi","codex.review.wordDiffs.enable":"Omogući diffove riječi","codex.review.wrap.disable":"Onemogući prelom riječi","codex.review.wrap.enable":"Omogući prelom riječi","codex.section.patch.missing":"Nije moguće napraviti zakrpu za ovaj odjeljak.","codex.shell.collapse":"Sažmi blok izlaza iz ljuske","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kopirani su sadržaji ljuske","codex.shell.copy.copyTooltip":"Kopiraj sadržaje ljuske","codex.shell.copyCommand":"Kopiraj naredbu","codex.shell.copyOutput":"Kopiraj izlaz","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Proširi blok izlaza iz ljuske","codex.shell.name":"Ljuska","codex.shell.noOutput":"Nema izlaza","codex.signInFailed.message":"Neuspješna prijava: {rawMessage}","codex.stories.toast.show":"Prikaži skočnu poruku","codex.stories.tooltip.basic":"Ovo je opis alata","codex.stories.tooltip.hoverMe":"Pređi pokazivačem preko mene","codex.stories.tooltip.largerOffset":"Ovaj opis alata ima veći pomak","codex.stories.tooltip.offsetButton":"Veći pomak","codex.stories.tooltip.shortcutButton":"Uz prečac","codex.stories.tooltip.withShortcut":"Uključi/isključi terminal","codex.taskRow.title":"Novi razgovor","codex.taskRowLayout.confirm":"Potvrdi","codex.threadFindBar.chatFilter":"Pretraži čavrljanje","codex.threadFindBar.close":"Zatvori nalaz","codex.threadFindBar.diffFilter":"Pretraži diffove","codex.threadFindBar.label":"Pronađi u razgovoru","codex.threadFindBar.nextResult":"Sljedeći rezultat","codex.threadFindBar.noResults":"0 rezultata","codex.threadFindBar.placeholder":"Pretraži razgovor…","codex.threadFindBar.placeholder.extension":"Pretraži razgovor…","codex.threadFindBar.placeholder.review":"Pretraži diffove…","codex.threadFindBar.placeholder.review.extension":"Pretraži diffove…","codex.threadFindBar.previousResult":"Prethodni rezultat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# promijenjena datoteka} few {# promijenjene datoteke} other {# promijenjenih datoteka}}","codex.unifiedDiff.inlineLargeFile":"Preveliko za renderiranje u tekstu","codex.unifiedDiff.linesAdded":"+ {linesAdded}","codex.unifiedDiff.linesDeleted":"- {linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Poništi","codex.unifiedDiff.revertPatchError":"Neuspješno poništavanje promjena","codex.unifiedDiff.revertPatchSuccess":"Promjene su poništene","codex.unifiedDiff.reviewChangesSuffix":"promjene","codex.unifiedDiff.reviewShort":"Pregled","codex.unifiedDiff.viewDiffTooltip":"Pregled","codex.upsellBanner.business.headline":"Da biste odmah dobili veći pristup, pošaljite zahtjev svom administratoru ili pričekajte do {resetDate}.","codex.upsellBanner.cbp.headline":"Da biste odmah dobili veći pristup, pošaljite zahtjev svom administratoru.","codex.upsellBanner.cta.addCredits":"Dodaj kredite","codex.upsellBanner.cta.upgradeAccount":"Nadogradi","codex.upsellBanner.cta.viewUsage":"Prikaži uporabu","codex.upsellBanner.free.trialHeadline":"Vaše ograničenje ponovno se postavlja {resetDate}. Kako biste nastavili upotrebljavati Codex i ostvarili pristupa za GPT-5.3-Codex, započnite besplatno probno razdoblje plana Plus već danas.","codex.upsellBanner.freeOrGo.headline":"Ograničenje se ponovno postavlja {resetDate}. Kako biste nastavili upotrebljavati Codex, nadogradite na Plus već danas.","codex.upsellBanner.general.headline":"Ograničenje se ponovno postavlja {resetDate}.","codex.upsellBanner.general.title":"Više nemate poruka Codex","codex.upsellBanner.go.trialHeadline":"Vaše ograničenje ponovno se postavlja {resetDate}. Kako biste nastavili upotrebljavati Codex, započnite besplatno probno razdoblje plana Plus već danas.","codex.upsellBanner.plus.headline":"Ograničenje se ponovno postavlja {resetDate}. Kako biste nastavili upotrebljavati Codex, dodajte kredite ili nadogradite na Pro već danas.","codex.upsellBanner.pro.headline":"Ograničenje se ponovno postavlja {resetDate}. Dodajte kredite kako biste nastavili upotrebljavati Codex.","codex.userMessage.autoResolveSync":"Automatski riješi sukobe","codex.userMessage.commentCount":"{count, plural, one {# komentar} few {# komentara} other {# komentara}}","codex.userMessage.copiedAriaLabel":"Kopirano","codex.userMessage.copiedTooltip":"Kopirano","codex.userMessage.copyAriaLabel":"Kopiraj poruku","codex.userMessage.copyTooltip":"Kopiraj","codex.userMessage.implementPlan":"Implementiraj plan","codex.userMessage.noContent":"(Nema sadržaja)","codex.userMessage.priorConversation":"Pozivanja na prethodni razgovor","codex.userMessage.reviewMode":"Način rada za pregled","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"za {query}","codex.webSearch.summary.verb.completed":"Pretražena je mreža","codex.webSearch.summary.verb.inProgress":"Pretražujem mrežu","codex.windowsInstallWslBanner.dismiss":"Odbaci","codex.windowsInstallWslBanner.installWslCta":"Omogući pješčanik (sandbox)","codex.windowsInstallWslBanner.learnMore":"Doznajte više","codex.windowsSandboxBanner.content":"Način rada agenta upotrebljava se za eksperimentalni pješčanik u sustavu Windows za ograničavanje pristupa sustavu datoteka i mreži. {sandboxLink}","codex.windowsSandboxBanner.title":"Omogući pješčanik za način rada agenta","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Postavke Windowsa","codexUpgradeModal.body":"Naš najnoviji model agentskog kôdiranja – pametniji, brži i sposobniji za opći tehnički rad. {link}","codexUpgradeModal.close":"Zatvori","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Doznajte više","codexUpgradeModal.title":"Predstavljamo GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Isprobajte GPT-5.3-Codex sada","codexUpgradeModal.useExistingModel":"Nastavi s trenutačnim modelom","commentAttachments.numComments":"{count, plural, one {# komentar} few {# komentara} other {# komentara}}","commentAttachments.removeAriaLabel":"Ukloni privitak s komentarima","common.close":"Zatvori","composer.addContext.openFilePickerError":"Nije moguće otvoriti birač datoteka","composer.addContextDropdown.ariaLabel":"Dodajte datoteke i još mnogo toga","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Dodajte datoteke i još mnogo toga","composer.addPhotosAndFiles":"Dodaj fotografije i datoteke","composer.atMentionList.emptyQuery":"Upišite za pretraživanje datoteka","composer.atMentionList.loading":"Pretraživanje datoteka…","composer.atMentionList.noResults":"Nema rezultata","composer.attemptsSelector.option":"{count, plural, one {# inačica} few {# inačice} other {# inačica}}","composer.attemptsSelector.tooltip":"Broj paralelnih pokušaja za Codex","composer.attemptsSelector.trigger":"{count} x","composer.backgroundTerminals.runningLabel":"Izvršava se: {count, plural, one {# terminal} few {# terminala} other {# terminala}}","composer.backgroundTerminals.stop":"Zaustavi","composer.cleanBackgroundTerminals.error":"Nije moguće zaustaviti pozadinske terminale.","composer.cloudFollowUp.cloud":"Oblak","composer.cloudFollowUp.local":"Lokalno","composer.cloudFollowUp.whereRun":"Gdje bi se ovo trebalo pokrenuti?","composer.cloudTaskCreationError":"Pogreška pri stvaranja zadatka u oblaku","composer.cloudTaskError":"Pogreška pri stvaranju zadatka","composer.contextWindow.autoCompactionTooltipLine1":"Codex automatski sažima svoj kontekst","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Prozor konteksta:","composer.contextWindowUsageStatusFull":"{usage} % popunjen","composer.contextWindowUsageStatusLeft":"{usage} % upotrebljeno ({remaining} % preostalo)","composer.contextWindowUsageTooltip":"{usedTokens}k/{contextWindow}k upotrebljenih tokena","composer.customCliTooltip":"Uporaba prilagođene izvršne stavke CLI","composer.dictation.aria":"Diktiraj","composer.dictation.cancel.aria":"Prekini diktiranje","composer.dictation.cancel.tooltip":"Prekini diktiranje","composer.dictation.startError":"Nije moguće započeti diktiranje","composer.dictation.submit.aria":"Transkribiraj i pošalji","composer.dictation.submit.tooltip":"Transkribiraj i pošalji","composer.dictation.tooltip":"Držite za diktiranje","composer.dictation.transcribeError":"Nije moguće transkribirati audiozapis","composer.dictation.unsupported":"Diktiranje nije dostupno na ovom uređaju","composer.dropOverlay.holdShift":"Držite {key} za ispuštanje","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Izradi novo","composer.environmentSelector.error":"Pogreška pri učitavanju okruženja","composer.environmentSelector.goBack":"Natrag u sastavljač","composer.environmentSelector.title":"Odaberite okruženje","composer.environmentSelector.tooltip":"Odaberite okruženje u oblaku","composer.feedbackSlashCommand.title":"Povratne informacije","composer.filePicker.selectFile":"Odaberi datoteku","composer.filePicker.selectFiles":"Odaberi datoteke","composer.followerTooltip":"Za nastavak se vratite na prozor u kojem je ovaj razgovor započeo.","composer.footer.branchSwitch.checkoutError":"Neuspješna promjena ogranka: {message}","composer.footer.branchSwitch.createAndCheckout":"Izradi i provjeri novi ogranak…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Potvrdite (commit) promjene za izradu i preuzimanje novog ogranka","composer.footer.branchSwitch.createBranchError":"Neuspješna izrada ogranka: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Naziv ogranka","composer.footer.branchSwitch.createDialog.branchExistsError":"Ogranak već postoji.","composer.footer.branchSwitch.createDialog.close":"Zatvori","composer.footer.branchSwitch.createDialog.createAndCheckout":"Izradi i provjeri","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Izradi i provjeri ogranak","composer.footer.branchSwitch.createDialog.trailingSlashError":"Naziv ogranka ne može završavati s „/”.","composer.footer.branchSwitch.tooltip":"Promijeni ogranak","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Napravite commit promjena u {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}} radi provjere {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"promjena u {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}} radi provjere {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Otkaži","composer.footer.branchSwitch.uncommittedDialog.commit":"Napravi commit i promijeni ogranak…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Vaše promjene u sljedećim datotekama bit će prepisane prilikom odjave:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Napravite commit svojih promjena kako biste nastavili","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"odabrani ogranak","composer.footer.branchSwitch.uncommittedDialog.title":"Napravite commit promjena kako biste promijenili ogranak","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Uncommited: {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","composer.forkSlashCommand.description":"Forkaj ovaj razgovor u lokalno ili novo radno stablo","composer.forkSlashCommand.option.local.description":"Nastavi u novom lokalnom razgovoru","composer.forkSlashCommand.option.local.title":"Forkaj u lokalno","composer.forkSlashCommand.option.worktree.description":"Nastavi u novom radnom stablu","composer.forkSlashCommand.option.worktree.title":"Forkaj u novo radno stablo","composer.forkSlashCommand.title":"Forkiranje","composer.ideContextIndicator":"Kontekst IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Uključite kontekst iz IDE-a, kao što su stanje odabira {br} i otvorene datoteke.","composer.ideContextIndicator.tooltipToggle":"za uključivanje/isključivanje","composer.ideContextSlashCommand.disableDescription":"Isključite kontekst IDE","composer.ideContextSlashCommand.enableDescription":"Obuhvatite trenutačni odabir, otvorene datoteke i drugi kontekst iz vašeg IDE-a","composer.ideContextSlashCommand.title":"Kontekst IDE","composer.imageInputsUnsupported":"Ovaj model ne podržava slikovne upise. Isprobajte drugi model.","composer.imageUploadFailed":"Neuspješno učitavanje slike","composer.includeIdeContextDropdown":"Obuhvati kontekst IDE","composer.includeIdeContextDropdown.ariaLabel":"Obuhvati kontekst IDE","composer.localCwdDropdown.addWorkspaceRoot":"Dodaj novi projekt","composer.localCwdDropdown.noActiveRoot":"Odaberite svoj projekt","composer.localCwdDropdown.noResults":"Nema pronađenih mapa","composer.localCwdDropdown.title":"Odaberite svoj projekt","composer.localTaskError":"Pogreška prilikom pokretanja razgovora","composer.mcpSlashCommand.description":"Prikaži stanje poslužitelja MCP-a","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nije provjerena autentičnost","composer.mcpStatus.authOauth":"Autentičnost provjerena (OAuth)","composer.mcpStatus.authToken":"Autentičnost provjerena (ključ za API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zatvori","composer.mcpStatus.disabled":"Onemogućeno","composer.mcpStatus.emptyLabel":"Poslužitelji:","composer.mcpStatus.emptyValue":"Nijedan poslužitelj MCP-a nije konfiguriran","composer.mcpStatus.enabled":"Omogućeno","composer.mcpStatus.errorLabel":"Stanje:","composer.mcpStatus.errorValue":"Nije moguće učitati stanje MCP-a","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Prebacite na drugi način rada","composer.mode.agentMode.custom":"Prilagođeno","composer.mode.agentMode.custom.dropdownLabel":"Prilagođeno","composer.mode.agentMode.custom.option":"Prilagođeno (config.toml)","composer.mode.agentMode.custom.optionLabel":"Prilagođeno (config.toml)","composer.mode.agentMode.customInfo.cancel":"Otkaži","composer.mode.agentMode.customInfo.cli":"Te postavke možete prilagoditi iz CLI-ja ili izravnim uređivanjem datoteke.","composer.mode.agentMode.customInfo.confirm":"Uporabi prilagođeni način rada","composer.mode.agentMode.customInfo.description":"Prilagođeni način rada primjenjuje pravila odobravanja i pješčanika definirana u vašoj datoteci <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Saznajte više o konfiguriranju pravila odobravanja i pješčanika u <link>dokumentima izvršnog okružja</link>.","composer.mode.agentMode.customInfo.refresh":"Bilo koje promjene stupaju na snagu idući put kada se agent pokrene.","composer.mode.agentMode.customInfo.title":"Kako funkcionira prilagođeni način rada","composer.mode.agentMode.fullAccess":"Agent (potpuni pristup)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (potpuni pristup)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (potpuni pristup)","composer.mode.agentMode.fullAccessConfirm.caution":"Budite oprezni prilikom omogućavanja punog pristupa. To značajno povećava rizik od gubitka podataka, curenja ili neočekivanog ponašanja.","composer.mode.agentMode.fullAccessConfirm.confirm":"Da, svejedno nastavi","composer.mode.agentMode.fullAccessConfirm.description":"Kada Codex radi s punim pristupom, može uređivati ​​bilo koju datoteku na vašem računalu i izvršavati naredbe pomoću mreže, bez vašeg odobrenja.","composer.mode.agentMode.fullAccessConfirm.goBack":"Otkaži","composer.mode.agentMode.fullAccessConfirm.title":"Omogućiti potpuni pristup?","composer.mode.agentMode.readOnly":"Čavrljanje","composer.mode.agentMode.readOnly.dropdownLabel":"Čavrljanje","composer.mode.agentMode.readOnly.optionLabel":"Čavrljanje","composer.mode.agentMode.tooltip":"Prebacite na drugi način rada","composer.mode.agentMode.tooltip.auto":"Čita i uređuje ​​datoteke te izvršava naredbe.","composer.mode.agentMode.tooltip.custom":"Upotrijebite najnovija pravila odobravanja i pješčanika definirana u datoteci config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex može uređivati ​​datoteke izvan ovog projekta i izvršavati naredbe s mrežnim pristupom. Budite oprezni prilikom uporabe.","composer.mode.agentMode.tooltip.readOnly":"Odobrenje je potrebno za uređivanje datoteka i izvršavanje naredbi.","composer.mode.cloud.tooltip":"Radite u okruženju u oblaku","composer.mode.contactAdmin":"Za dodatni pristup obratite se administratoru","composer.mode.local":"Lokalno","composer.mode.local.learnMore":"Doznajte više","composer.mode.local.model.custom":"Prilagođeno","composer.mode.local.model.loadingModel":"Učitavanje modela","composer.mode.local.model.selecrReasoningEffort":"Odaberite razinu prosuđivanja","composer.mode.local.model.selectModel":"Odaberite model","composer.mode.local.model.tooltip":"Odaberi model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Visoka","composer.mode.local.reasoning.low.label":"Niska","composer.mode.local.reasoning.medium.label":"Srednja","composer.mode.local.reasoning.minimal.label":"Minimalna","composer.mode.local.reasoning.none.label":"Ništa","composer.mode.local.reasoning.xhigh.label":"Iznimno visoko","composer.mode.localRemoteWhereRun":"Odaberite gdje pokrenuti zadatak","composer.mode.newTask.header":"Nastavite u","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Preostala ograničenja broja zahtjeva","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"Ograničenje za {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {tjedno ograničenje} few {{weeks} tjedna ograničenja} other {{weeks} tjednih ograničenja}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {tjedan} few {{weeks} tjedna} other {{weeks} tjedana}}","composer.mode.remote.connectToCloud":"Poveži mrežni Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Postavite okružje uz mrežni Codex da biste omogućili slanje zadataka u oblak","composer.mode.remote.selectEnvironment":"Odaberite okruženje","composer.mode.remote.sendToCloud":"Pošaljite u oblak","composer.mode.remote.setupViaWeb":"Postavite okruženje uz mrežni Codex","composer.mode.runInCloud":"Oblak","composer.mode.runInCloudWithEnvironment":"Oblak · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Radite u okruženju u oblaku","composer.mode.segmentedToggle.local.tooltip":"Radite u lokalnom projektu","composer.mode.segmentedToggle.worktree.tooltip":"Radite u paralelnom radnom stablu","composer.mode.upgradeToPlus":"Nadogradi na Plus","composer.mode.upgradeToPro":"Nadogradi na Pro","composer.mode.workLocally":"Lokalni projekt","composer.mode.workLocally.currentBranchFallback":"vaš ogranak","composer.mode.workLocally.tooltip":"Radite na {branchName}","composer.mode.worktree":"Novo radno stablo","composer.mode.worktree.submoduleWarning":"Ovaj repozitorij ima podmodule git. Izrada radnog stabla može biti neuspješna.","composer.mode.worktree.tooltip":"Izradite kopiju lokalnog projekta za paralelni rad","composer.mode.worktreeSegment":"Radno stablo","composer.modelChangeDuringConversationWarning.toast":"Promjena modela usred razgovora smanjit će izvedbe.","composer.newChat.heading.browser":"Što ćemo sljedeće kodirati?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex upotrebljava dopuštenje definirano u config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ima potpuni pristup vašem računalu (povećani rizik)","composer.permissionsDropdown.custom.label":"Prilagođeno (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Prilagođeno (config.toml)","composer.permissionsDropdown.default.label":"Zadana dopuštenja","composer.permissionsDropdown.default.optionLabel":"Zadana dopuštenja","composer.permissionsDropdown.default.tooltip":"Codex automatski izvršava naredbe u pješčaniku","composer.permissionsDropdown.disabled.requirements":"Dopuštenja su zaključane datotekom requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Puni pristup onemogućen stavkom requirements.toml","composer.permissionsDropdown.fullAccess.label":"Potpun pristup","composer.permissionsDropdown.fullAccess.optionLabel":"Potpun pristup","composer.permissionsDropdown.trigger.tooltip":"Promijeni dopuštenja","composer.personalitySlashCommand.description.friendly":"Topao, suradnički i koristan","composer.personalitySlashCommand.description.pragmatic":"Sažet, usmjeren na zadatak i izravan","composer.personalitySlashCommand.label.friendly":"Prijateljski","composer.personalitySlashCommand.label.pragmatic":"Pragmatično","composer.personalitySlashCommand.notApplicableSuffix":"(Ne odnosi se na trenutačni model)","composer.personalitySlashCommand.title":"Osobnost","composer.placeholder.cloudFollowUp.directFollowUp":"Naknadno djelovanje za ovaj zadatak u oblaku","composer.placeholder.cloudFollowUp.local":"Izradite novi lokalni zadatak koji referencira ovaj zadatak u oblaku.","composer.placeholder.cloudFollowUp.workingTree":"Izradite novi zadatak u oblaku kojim se uključuje trenutačni kôd i kojim se referencira ovaj zadatak","composer.placeholder.localFollowUp.cloud":"Naknadno djelovanje u novom zadatku u oblaku","composer.placeholder.localFollowUp.locally":"Zatražite naknadne promjene","composer.placeholder.newTask.cloud":"Zatražite da Codex učini bilo što u oblaku","composer.placeholder.newTask.doAnything":"Zatražite da Codex učini bilo što","composer.placeholder.newTask.locally":"Pitajte Codex bilo što, @ za dodavanje datoteka, / za naredbe","composer.planModeDropdown":"Način rada planiranja","composer.planModeDropdown.ariaLabel":"Način rada planiranja","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Izradite plan uz Codex","composer.planModeIndicator.tooltipToggle":"za uključivanje/isključivanje","composer.planSlashCommand.disableDescription":"Isključi način rada planiranja","composer.planSlashCommand.enableDescription":"Uključi način rada planiranja","composer.planSlashCommand.title":"Način rada planiranja","composer.priorContext.label":"Prethodni kontekst","composer.priorContext.removeAriaLabel":"Ukloni prethodni kontekst","composer.queuedMessage.delete":"Izbriši poruke u redu čekanja","composer.queuedMessage.edit":"Uredi poruku","composer.queuedMessage.more":"Radnje za poruke u redu čekanja","composer.queuedMessage.sendNow":"Upravljaj","composer.queuedMessage.sendNowTooltip":"Pošalji odmah bez prekida rada","composer.queuedMessage.turnOff":"Isključi čekanje u redu","composer.reasoningEffort.local.reasoning.tooltip":"Odaberite razinu prosuđivanja","composer.remote.branchStartingPoint":"S kojim bi ogrankom trebao započeti zadatak?","composer.remote.branchesSectionHeading":"Ogranci","composer.remote.currentEditsSuffix.followUp":"Izradite novi zadatak koji referencira ovaj zadatak u oblaku.","composer.remote.currentEditsSuffix.useLocal":"s lokalnim promjenama kôda","composer.remote.directFollowUp":"Nemojte upotrijebiti lokalne promjene","composer.remote.errorLoadingBranches":"Pogreška pri učitavanju ogranaka","composer.remote.fromBranch":"Od ogranka {branch}","composer.remote.fromCurrentBranch":"Od ogranka {branch} (trenutačno)","composer.remote.loadingMoreBranches":"Učitavanje...","composer.remote.localFileStateHeading":"Stanje lokalne datoteke","composer.remote.localWorkingTree":"Upotrijebite lokalne promjene","composer.remote.startingPoint":"S kojim bi kôdom trebao započeti zadatak?","composer.reviewMode.branches.error":"Učitavanje ogranaka nije uspjelo","composer.reviewMode.branches.retry":"Pokušaj ponovno","composer.reviewMode.gitRoot.error":"Korijen git nije pronađen","composer.reviewMode.option.baseBranch.simple":"Pregled u odnosu na osnovni ogranak","composer.reviewMode.option.unstaged.simple":"Pregled nepohranjenih promjena","composer.reviewMode.quickReviewError":"Neuspješno pokretanje pregleda koda.","composer.reviewMode.title":"Pregled koda","composer.sandboxButton.unlock.disabled.tooltip":"Puni pristup onemogućen stavkom requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex može upotrijebiti eksperimentalan pješčanik u sustavu Windows za ograničavanje pristupa sustavu datoteka i mreži. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Omogućiti Windows Sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Upotrijebi način samo za čitanje","composer.searchEnvironments":"Pretraži okružja","composer.skillMentionList.app":"Aplikacija","composer.skillMentionList.appLogoAlt":"Logotip {name}","composer.skillMentionList.loading":"Učitavanje vještina…","composer.skillMentionList.noResults":"Nema pronađenih vještina","composer.slashCommands.cloudEnvironment.title":"Okružje u oblaku","composer.slashCommands.dialogLabel":"Izbornik naredbi s kosom crtom","composer.slashCommands.dialogTitle":"Naredbe s kosom crtom","composer.slashCommands.disabledTooltip":"Započnite novi razgovor za uporabu naredbi s kosom crtom","composer.slashCommands.inputPlaceholder":"Pretraži","composer.slashCommands.noResults":"Nema naredbi","composer.slashCommands.skillsGroup":"Vještine","composer.slashCommands.tooltip":"Pregledajte naredbe s kosom crtom","composer.status.close":"Zatvori","composer.statusPlain.alertLabel":"Upozorenje:","composer.statusPlain.alertValue":"{remaining} % preostalo za {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count} k","composer.statusPlain.contextValueMetadata":"({used} upotrijebljeno / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % preostalo","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Ograničenje za {modelName}:","composer.statusPlain.rateLimitDays":"Ograničenje: {count} d","composer.statusPlain.rateLimitFallbackLabel":"Ograničenje stope:","composer.statusPlain.rateLimitHours":"Ograničenje: {count} h","composer.statusPlain.rateLimitLabelBase":"Ograničenje stope","composer.statusPlain.rateLimitMinutes":"Ograničenje: {count} m","composer.statusPlain.rateLimitPercent":"{remaining} % preostalo","composer.statusPlain.rateLimitReset":"ponovno se postavlja: {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"vrijeme ponovnog postavljanja nije dostupno","composer.statusPlain.rateLimitUnavailable":"Nedostupno","composer.statusPlain.sessionCopiedAriaLabel":"ID sesije je kopiran","composer.statusPlain.sessionCopiedTooltip":"ID je kopiran","composer.statusPlain.sessionCopyAriaLabel":"Kopiraj ID sesije","composer.statusPlain.sessionCopyTooltip":"Kopirajte ID","composer.statusPlain.sessionLabel":"Sesija:","composer.statusSlashCommand.description":"Prikaži ID razgovora, uporabu konteksta i ograničenja stope","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"U redu","composer.submit.blockedDialogTitle":"Nije moguće poslati poruku","composer.submit.emptyMessage":"Za početak upišite poruku","composer.submit.imageInputsUnsupported":"Uklonite slike ili promijenite modele kako biste poslali ovu poruku.","composer.submit.loadingLocalConfig":"Učitavanje...","composer.submit.missingCloudConfig":"Morate odabrati okružje u oblaku","composer.submit.missingCloudTurn":"Ne mogu nastaviti s ovim zadatkom","composer.submit.noWorkspace":"Dodajte projekt da biste mogli upotrijebiti Codex","composer.submit.waitForImageUploads":"Učitavanje slika…","composer.submitButtonTooltip.send":"Pošalji","composer.submitButtonTooltip.stop":"Zaustavi","composer.worktreeEnvironment.create":"Izradi lokalno okruženje","composer.worktreeEnvironment.default":"Zadano okruženje","composer.worktreeEnvironment.error":"Pogreška pri učitavanju okruženja","composer.worktreeEnvironment.loading":"Učitavanje okruženja…","composer.worktreeEnvironment.title":"Lokalno okruženje","composer.worktreeEnvironment.tooltip":"Odaberi lokalno okruženje","composer.worktreeSetupFailed":"Neuspješno postavljanje radnog stabla. Provjerite .codex/environments za skriptu za postavljanje.","compoundButton.secondaryAction":"Sekundarna radnja","copyButton.copied":"Kopirano","copyButton.copiedAriaLabel":"Kopirano","copyButton.copy":"Kopiraj","copyButton.copyAriaLabel":"Kopiraj","copyButton.copyCode":"Kopiraj kod","diff.actionButton.revertFile":"Vrati datoteku na prethodno","diff.actionButton.revertHunk":"Vrati na prethodno","diff.actionButton.revertSection":"Vrati sve na prethodno","diff.actionButton.revertSectionLabel":"Vrati sve na prethodno","diff.actionButton.stageFile":"Pripremi datoteku","diff.actionButton.stageHunk":"Pripremi","diff.actionButton.stageSection":"Pripremi sve","diff.actionButton.stageSectionLabel":"Pripremi sve","diff.actionButton.unstageFile":"Poništi pripremu datoteke","diff.actionButton.unstageHunk":"Poništi pripremu","diff.actionButton.unstageSection":"Poništi pripremu svih stavki","diff.actionButton.unstageSectionLabel":"Poništi pripremu svih stavki","diff.fileHeader.toggle":"Uključi/isključi diff datoteke","electron.onboarding.login.apikey.cancel":"Otkaži","electron.onboarding.login.apikey.continue":"Nastavi","electron.onboarding.login.apikey.label":"Ključ za OpenAI API","electron.onboarding.login.apikey.open":"Upiši ključ za API","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"Otkaži prijavu","electron.onboarding.login.chatgpt.continue":"Nastavi uz ChatGPT","electron.onboarding.login.devbox":"Povežite na udaljeni SSH","electron.onboarding.login.error":"Neuspješna prijava: {rawMessage}","electron.onboarding.login.snake.start":"Igraj se zmije","electron.onboarding.login.sshConfig.cancel":"Otkaži","electron.onboarding.login.sshConfig.continue":"Nastavi","electron.onboarding.login.sshConfig.hostnameLabel":"Naziv domaćina SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Najbolji način gradnje s agentima","electron.onboarding.login.title":"Dobro došli u Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Nastavi","electron.onboarding.welcome.doubleLimits.description":"U čast lansiranja aplikacije Codex, imate dva puta veća ograničenja do 2. travnja.","electron.onboarding.welcome.freego.description":"Codex je besplatno obuhvaćen u vašem planu do 2. ožujka – započnimo graditi zajedno.","electron.onboarding.welcome.new.title.anon":"Dobro došli!","electron.onboarding.workspace.continue":"Nastavi","electron.onboarding.workspace.empty":"Dodajte projekt da biste mogli nastaviti.","electron.onboarding.workspace.listLabel":"Dostupni projekti","electron.onboarding.workspace.loading":"Učitavam projekte…","electron.onboarding.workspace.openFolder":"Dodaj projekt","electron.onboarding.workspace.selectAll":"Odaberi sve","electron.onboarding.workspace.skip":"Preskoči","electron.onboarding.workspace.skip.error":"Nije moguće izraditi novi projekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Nepoznata pogreška","electron.onboarding.workspace.skipping":"Izrada novog projekta…","electron.onboarding.workspace.subtitle":"Codex će moći uređivati ​​datoteke i izvršavati naredbe u odabranim mapama.","electron.onboarding.workspace.title":"Odaberi projekt","errorPage.list.checkSettings":"Pokušajte ažurirati postavke integriranog razvojnog okružja","errorPage.list.configToml":"Provjerite postoje li u config.toml nevaljane postavke","errorPage.list.downloadExtension":"Pokušajte preuzeti drugu inačicu proširenja","errorPage.list.runInWsl":"Provjerite postavke da biste onemogućili pokretanje u WSL-u ako imate problema s kompatibilnosti","execApprovalRequest.menu.runAlways":"Da, i ne pitaj više u ovoj sesiji","execApprovalRequest.menu.runAlwaysWithAmendment":"Da, i nemoj ponovno tražiti naredbe koje počinju s {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Da, i nemoj ponovno tražiti naredbe koje počinju s","execApprovalRequest.menu.runOnce":"Da","execApprovalRequest.prompt":"Želite li pokrenuti ovu naredbu?","execApprovalRequest.reject":"Ne","execFooter.exitCode":"Kôd izlaza {code}","execFooter.exitCode.unknown":"nepoznato","execFooter.success":"Uspješno","feedback.dialog.category.badResult":"Loš rezultat","feedback.dialog.category.bug":"Pogreška","feedback.dialog.category.goodResult":"Dobar rezultat","feedback.dialog.category.other":"Drugo","feedback.dialog.category.safetyCheck":"Sigurnosna provjera","feedback.dialog.descriptionPlaceholder":"Ovdje opišite problem","feedback.dialog.dismiss":"Odbaci","feedback.dialog.includeLogsLabel":"Obuhvati trenutačne zapise sesije Codexa","feedback.dialog.submit":"Pošalji","feedback.dialog.submitError":"Nismo mogli poslati vaše povratne informacije. Pokušajte ponovno za koji trenutak.","feedback.dialog.title":"Povratne informacije","feedback.dialog.uploadedMessage.existingIssue":"postojeći otvoreni problem","feedback.dialog.uploadedMessage.openIssue":"otvori problem GitHub","feedback.dialog.uploadedMessage.withThread":"Učitane su povratne informacije. Ako se problem nastavi, otvorite {openIssueLink} ili spomenite identifikacijsku oznaku razgovora u {existingIssueLink}:","feedback.dialog.uploadedTitle":"Povratne informacije učitane","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Ukloni {filename}","header.back":"Natrag","header.recentChats":"Zadaci","header.recentTasks.seeAll":"Prikaži sve ({total})","home.header.getPlus":"Nabavi Plus","home.hero.letsBuild":"Započnimo graditi","homePage.mainContent":"Glavni sadržaj","imageAttachment.defaultName":"sliku","imageAttachment.preview.close":"Zatvori pretprikaz slike","imageAttachment.removeAriaLabel":"Ukloni {filename}","implementPlanRequest.option.implement":"Da, implementiraj ovaj plan","implementPlanRequest.prompt":"Implementirati ovaj plan?","inbox.archived.deleteError":"Nije moguće izbrisati arhivirano izvođenje","inbox.archived.deleteRun":"Izbriši arhivirano izvođenje","inbox.archived.deleteSuccess":"Izbrisan arhivirani razgovor. Prikaži u <settingsLink>arhiviranim razgovorima</settingsLink>.","inbox.archived.inlineLabel.auto":"Razgovor je automatski arhiviran. <learnMoreLink>Saznajte više</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ovaj je razgovor arhiviran.","inbox.archived.noMessageFound":"Poruka nije pronađena","inbox.automations.createError":"Stvaranje automatizacije nije uspjelo","inbox.automations.deleteConfirm.cancel":"Otkaži","inbox.automations.deleteConfirm.confirm":"Izbriši automatizaciju","inbox.automations.deleteConfirm.description":"Time će se trajno izbrisati automatizacija i zaustaviti sva buduća pokretanja.","inbox.automations.deleteConfirm.title":"Izbriši {name}?","inbox.automations.deleteError":"Nije uspjelo brisanje automatizacije","inbox.automations.editTooltip":"Uredi automatizaciju","inbox.automations.inProgress":"U tijeku","inbox.automations.new":"Novo","inbox.automations.newToolbar":"Nova automatizacija","inbox.automations.pauseTooltip":"Pauziraj automatizaciju","inbox.automations.resumeTooltip":"Nastavi automatizaciju","inbox.automations.startingNow":"Pokrećem sada","inbox.automations.startsIn":"Započinje u {startTime}.","inbox.automations.status.active":"Aktivno","inbox.automations.status.paused":"Zaustavljeno","inbox.automations.status.runs":"Broj pokretanja: {count}","inbox.automations.status.started":"Pokrenuto {date}","inbox.automations.updateError":"Nije moguće ažurirati automatizaciju","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Sve","inbox.filter.ariaLabel":"Filtriraj stavke dolazne pošte","inbox.filter.unread":"Nepročitano","inbox.list.archived":"Arhivirano","inbox.list.inProgress":"U tijeku","inbox.list.recent":"Dovršeno","inbox.list.upNext":"Zakazano","inbox.mode.automations":"Automatizacije","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nije pružen opis","inbox.openThread":"Otvori razgovor","inbox.rightPanel.emptySubtitle":"Automatizirajte rad postavljanjem zakazanih zadataka","inbox.rightPanel.emptySubtitle.learnMore":"Automatizirajte rad postavljanjem zakazanih razgovora. <link>Doznajte više</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktivna automatizacija} few {# aktivne automatizacije} other {# aktivnih automatizacija}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nema nepročitanih automatizacija","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# nepročitana automatizacija} few {# nepročitane automatizacije} other {# nepročitanih automatizacija}}","inbox.rightPanel.emptyTitle":"Nije odabrana nijedna stavka","inbox.rightPanel.noThread":"Nema razgovora za tu stavku","inbox.rightPanel.quickStart.header":"Započnite predloškom","inbox.untitled":"Stavke dolazne pošte bez naslova","loadingPage.documentationLink":"dokumentaciju","loadingPage.errorDescription":"Codex se srušio i prikazuje iduću pogrešku:","loadingPage.errorDescription.documentation":"Kliknite na ponovno učitavanje da biste ponovno pokrenuli proširenje Codex ili posjetite našu {documentationLink} za dodatnu pomoć.","loadingPage.errorSignal":"Što biste mogli isprobati:","loadingPage.errorTitle":"Došlo je do pogreške","loadingPage.openConfigToml":"Otvori Config.toml","loadingPage.reload":"Ponovno učitaj","localConversation.contextCompacted":"Kontekst se automatski sažima","localConversation.contextCompacting":"Automatsko sažimanje konteksta","localConversation.finalAssistantMessageDivider":"Konačna poruka","localConversation.forkedFromConversation":"Forkano iz {threadTitle}","localConversation.merge.autoResolve.failed":"Neuspješan zahtjev za automatskim rješavanjem: {error}","localConversation.merge.autoResolve.sent":"Zahtjev za automatskim rješavanjem poslan","localConversation.merge.autoResolveMerge.missingConversation":"Nije moguće automatsko rješavanje bez aktivnog razgovora.","localConversation.merge.autoResolveMerge.request":"Automatski riješi konflikte spajanja","localConversation.modelChanged":"Model promijenjen iz {fromModel} u {toModel}.","localConversation.modelChanged.warning.line1":"Promjena modela usred razgovora smanjit će izvedbe.","localConversation.modelChanged.warning.line2":"Kontekst se može automatski sažeti.","localConversation.modelRerouted":"Vaš je zahtjev preusmjeren na {toModel}.","localConversation.modelRerouted.warning.line1":"Pazite, vaš je zahtjev preusmjeren kako bi se smanjio rizik od kibernetičke zlouporabe.","localConversation.modelRerouted.warning.line2":"Smatrate ovo pogreškom? Zatražite pregled na <link>chatgpt.com/cyber</link>ili prijavite s pomoću /feedback","localConversation.moveThread.createBranch.label":"Stvori ogranak","localConversation.moveToLocal.disabled.branchCheckedOut":"Ogranak je već provjeren u drugom radnom stablu","localConversation.moveToLocal.disabled.loading":"Učitavanje...","localConversation.moveToLocal.disabled.missingSourceHead":"Nije moguće razriješiti commit HEAD-a radnog stabla","localConversation.moveToLocal.disabled.noWorkspace":"Nije pronađen lokalni radni prostor za ovo radno stablo","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"Trenutačno nije moguće premjestiti. Provjerite stanje lokalnog radnog prostora i ponovno pokušajte.","localConversation.moveToLocal.error.rollbackIssues":"Problemi s vraćanjem na prethodno stanje: {issues}","localConversation.moveToLocal.label":"Premjesti u lokalno","localConversation.moveToLocal.loading.subtitle":"Premještanje promjena radnog stabla na lokalno…","localConversation.moveToLocal.loading.title":"Premještanje na lokalno","localConversation.moveToLocal.modal.continue":"Nastavi","localConversation.moveToLocal.modal.destinationLabel":"Premjesti na","localConversation.moveToLocal.modal.retry":"Ponovno pokušaj","localConversation.moveToLocal.modal.subtitle":"Ovaj ogranak radnog stabla i promjene (uncommitted) bit će vraćene u vašu lokalnu provjeru.","localConversation.moveToLocal.modal.title":"Premjesti u lokalno","localConversation.moveToWorktree.error.branchRequired":"Potreban je naziv ogranka radnog stabla","localConversation.moveToWorktree.error.createWorktree":"Neuspješna izrada radnog stabla: {message}","localConversation.moveToWorktree.error.move":"Neuspješno premještanje na radno stablo: {message}","localConversation.moveToWorktree.error.prepareBranch":"Neuspješna priprema ogranka radnog stabla „{branch}”: {message}","localConversation.moveToWorktree.error.rollbackIssues":"Problemi s vraćanjem na prethodno stanje: {issues}","localConversation.moveToWorktree.error.unknown":"Neuspješno premještanje radnog stabla. Ponovno pokušajte.","localConversation.moveToWorktree.label":"Premjesti na radno stablo","localConversation.moveToWorktree.loading.subtitle":"Postavljanje radnog stabla i premještanje lokalnih promjena…","localConversation.moveToWorktree.loading.title":"Premještanje na radno stablo","localConversation.moveToWorktree.modal.back":"Natrag","localConversation.moveToWorktree.modal.branchAlreadyExists":"Ogranak već postoji.","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Ogranak već postoji.","localConversation.moveToWorktree.modal.branchesError":"Učitavanje ogranaka nije uspjelo","localConversation.moveToWorktree.modal.branchesLoading":"Učitavanje ogranaka…","localConversation.moveToWorktree.modal.branchesRetry":"Ponovno pokušaj","localConversation.moveToWorktree.modal.continue":"Nastavi","localConversation.moveToWorktree.modal.defaultBranchError":"Ogranak radnog stabla mora se razlikovati od zadanog ogranka.","localConversation.moveToWorktree.modal.localBranchLabel":"Lokalni ogranak","localConversation.moveToWorktree.modal.localBranchPlaceholder":"Odaberi ogranak lokalne promjene","localConversation.moveToWorktree.modal.noTargetBranch":"Nema dostupnih drugih lokalnih ogranaka","localConversation.moveToWorktree.modal.retry":"Ponovno pokušaj","localConversation.moveToWorktree.modal.subtitle":"Ovaj ogranak i sve promjene (uncommitted) bit će premještene u radno stablo. Morate lokalno provjeriti drugi ogranak na njegovom mjestu.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex će izraditi novo radno stablo za ovaj razgovor.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"Odaberite naziv ogranka radnog stabla. Codex će ga upotrijebiti umjesto zadanog ogranka.","localConversation.moveToWorktree.modal.subtitle.loading":"Tražim postojeće radno stablo…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"Ovaj će ogranak biti premješten u radno stablo. Vaš trenutačni lokalni ogranak ostat će provjeren.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex će ponovno upotrijebiti postojeće radno stablo za ovaj razgovor.","localConversation.moveToWorktree.modal.title":"Premjesti na radno stablo","localConversation.moveToWorktree.modal.trailingSlashError":"Naziv ogranka ne može završavati s „/”.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Naziv ogranka radnog stabla","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Ogranak radnog stabla","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"Prebačeno na osobnost {personality}","localConversation.planSummary.collapse":"Skupi sažetak plana","localConversation.planSummary.collapseTooltip":"Sažimanje","localConversation.planSummary.download":"Preuzmi plan","localConversation.planSummary.expand":"Proširi sažetak plana","localConversation.planSummary.expandTooltip":"Proširenje","localConversation.planSummary.openInNewWindow":"Otvori","localConversation.planSummary.openInNewWindow.tooltip":"Otvori u novom prozoru","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Pišem plan","localConversation.planSummary.viewPlan":"Proširi plan","localConversation.previousMessagesSummary":"{count, plural, one {# prethodna poruka} few {# prethodne poruke} other {# prethodnih poruka}}","localConversation.remoteTaskCreated":"Stvoreno {taskLink} u Codex Cloudu","localConversation.remoteTaskCreated.task":"zadatak","localConversation.scrollToBottomButton":"Pomaknite se na dno","localConversation.sync.buttonLabel":"Predaj lokalnom","localConversation.sync.buttonLabel.tooltip":"Predajte promjene između ovog radnog stabla i vaše lokalne provjere.","localConversation.sync.modal.loading.title":"Predajem promjene…","localConversation.sync.modal.noChanges":"Bez promjena","localConversation.syncSetup.branchAriaLabel":"Naziv ogranka","localConversation.syncSetup.branchName":"Naziv ogranka","localConversation.syncSetup.branchPlaceholder.existing":"Odaberi postojeći ogranak","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Učitavanje ogranaka…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Već je prebačeno","localConversation.syncSetup.checkoutClean":"Trenutačno na {branchName}","localConversation.syncSetup.checkoutDirty":"Trenutačno na ogranku {branchName} s nespremljenim promjenama (uncommitted)","localConversation.syncSetup.checkoutError":"Neuspješna provjera ogranka: {message}","localConversation.syncSetup.checkoutLabel":"Prebaci lokalno odmah","localConversation.syncSetup.checkoutOnLocal":"Predaj lokalnom","localConversation.syncSetup.checkoutPending":"Prebacivanje lokalnog statusa…","localConversation.syncSetup.checkoutUnavailable":"Lokalni radni prostor nije dostupan","localConversation.syncSetup.checkoutUnknown":"Lokalni ogranak nije dostupan","localConversation.syncSetup.continue":"Nastavi","localConversation.syncSetup.createBranchError":"Neuspješno postavljanje ogranka za predaju: {message}","localConversation.syncSetup.error":"Došlo je do pogreške: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nije moguće napraviti snimku stanja radnog stabla. Pokušajte ponovno predati.","localConversation.syncSetup.mode.ariaLabel":"Odaberi način rada ogranka","localConversation.syncSetup.mode.existing":"Postojeći ogranak","localConversation.syncSetup.mode.new":"Novi ogranak","localConversation.syncSetup.noBranches":"Nema pronađenih ogranaka","localConversation.syncSetup.overwriteError":"Ogranak je stvoren, ali nije u potpunosti predan. Ručno ga predajte prije lokalne provjere.","localConversation.syncSetup.setPrefix":"Postavi prefiks","localConversation.syncSetup.subtitle":"Testirajte i uredite promjena radnog stabla lokalno. <a>Doznajte više</a>","localConversation.syncSetup.success.checkedOut":"Ogranak je izrađen i prebačen lokalno","localConversation.syncSetup.success.notCheckedOut":"Ogranak je stvoren","localConversation.syncSetup.title":"Predaj lokalnom ogranku","localConversation.syncWorktreeError.branchAriaLabel":"Naziv ogranka","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Odaberite ogranak za predaju, a zatim ponovno pokušajte učitati promjene.","localConversation.syncWorktreeError.branchSetup.title":"Ažuriraj ogranak","localConversation.syncWorktreeError.branchUpdate.cta":"Ažuriraj i ponovno pokušaj","localConversation.syncWorktreeError.branchUpdate.error":"Neuspješno ažuriranje ogranka: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Došlo je do pogreške: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Ogranak nije provjeren u bilo kojem radnom stablu.","localConversation.syncWorktreeV2.applyUncommitted":"Primijeni","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Morate lokalno prebaciti ogranak da biste primijenili nespremljene promjene (uncommitted)","localConversation.syncWorktreeV2.branches.empty":"Nema pronađenih ogranaka","localConversation.syncWorktreeV2.branches.loading":"Učitavanje ogranaka…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Promijeni ogranak za predaju","localConversation.syncWorktreeV2.changeBranch.error":"Neuspješna promjena ogranka za predaju: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Neuspješna primjena","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Neuspješno prepisivanje radnog stabla","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Neuspješno lokalno prepisivanje","localConversation.syncWorktreeV2.commandError.back":"Natrag","localConversation.syncWorktreeV2.commandError.body":"Neuspješna naredba git prilikom predaje. Pregledajte izlaz i pokušajte ponovno.","localConversation.syncWorktreeV2.commandError.retry":"Pokušaj ponovno","localConversation.syncWorktreeV2.description":"Predajte promjene između lokalnog i ovog radnog stabla <a>Saznajte više</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Odaberite smjer predaje","localConversation.syncWorktreeV2.error.generic":"Došlo je do pogreške prilikom predaje. Pokušajte ponovno.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalno","localConversation.syncWorktreeV2.noChanges":"Izračunavam promjene","localConversation.syncWorktreeV2.noChanges.summary":"Bez promjena","localConversation.syncWorktreeV2.overwrite.local":"Prebriši lokalno","localConversation.syncWorktreeV2.overwrite.worktree":"Prebriši radno stablo","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nije moguće primijeniti promjene","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nije moguće prebrisati lokalne promjene","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nije moguće prebrisati promjene radnog stabla","localConversation.syncWorktreeV2.partial.appliedLabel":"Primijenjeno","localConversation.syncWorktreeV2.partial.back":"Natrag","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Riješite konflikte i pokušajte ponovno.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikti","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","localConversation.syncWorktreeV2.partial.retry":"Pokušaj ponovno","localConversation.syncWorktreeV2.partial.skippedLabel":"Preskočen/a/o","localConversation.syncWorktreeV2.stateFailed.generic":"Došlo je do pogreške prilikom dohvaćanja promjena radnog stabla za predaju. Pokušajte ponovno.","localConversation.syncWorktreeV2.stateFailed.title":"Neuspješno učitavanje promjena radnog stabla","localConversation.syncWorktreeV2.statusError.diffUnknown":"Učitavanje promjena radnog stabla nije bilo uspješno.","localConversation.syncWorktreeV2.statusError.retry":"Pokušaj ponovno","localConversation.syncWorktreeV2.statusError.title":"Nije moguće učitati promjene lokalnog ogranka","localConversation.syncWorktreeV2.statusError.unknown":"Stanje ogranka trenutačno nije dostupno. Pokušajte ponovno.","localConversation.syncWorktreeV2.success.apply":"Uspješno primijenjene promjene","localConversation.syncWorktreeV2.success.overwrite":"Uspješna predaja","localConversation.syncWorktreeV2.title":"Predajte promjene","localConversation.syncWorktreeV2.worktreeLabel":"Radno stablo","localConversation.userInputRequest.inProgress":"Postavljam {count, plural, one {pitanje} few {pitanja} other {pitanja}}","localConversation.userInputRequest.noAnswer":"Nema nikakvog odgovora","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Pitano","localConversation.userInputRequest.summary.count":"{count, plural, one {# pitanje} few {# pitanja} other {# pitanja}}","localConversation.workedFor":"Bio je pokrenut {time}","localConversation.worktreeBranchSetup.action.create":"Stvori","localConversation.worktreeBranchSetup.branchAriaLabel":"Naziv ogranka","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Izradite novi ogranak","localConversation.worktreeBranchSetup.checkoutDisabled":"Ogranak je već prebačen u {location}","localConversation.worktreeBranchSetup.checkoutError":"Neuspješna provjera ogranka: {message}","localConversation.worktreeBranchSetup.createBranchError":"Neuspješno postavljanje ogranka: {message}","localConversation.worktreeBranchSetup.error":"Došlo je do pogreške: {message}","localConversation.worktreeBranchSetup.subtitle":"Izradite ogranak za potvrđivanje (commit) promjena, slanje i izradu PR-a iz ovog radnog stabla. <a>Doznajte više</a>","localConversation.worktreeBranchSetup.title":"Radite ovdje","localConversationPage.addWorktreeToSidebar.tooltip":"Spremite kao projekt da biste mogli pokretati nove razgovore iz ovog radnog stabla","localConversationPage.addWorktreeToSidebarError":"Neuspješno dodavanje projekta","localConversationPage.commitAndCreatePrModal.errorTitle":"Potvrdi promjene i stvori neuspješni PR","localConversationPage.commitAndCreatePrModal.successTitle":"Promjene potvrđene i stvoren PR","localConversationPage.commitAndPushModal.errorTitle":"Potvrdi promjene i pošalji neuspješno","localConversationPage.commitAndPushModal.successTitle":"Promjene potvrđene i poslano neuspješno","localConversationPage.commitCreatePr.open":"Otvori zahtjev za pull","localConversationPage.commitCreatePr.successTitle":"Stvoren PR s vašim najnovijim promjenama","localConversationPage.createBranchButtonLabel":"Ogranak ovdje","localConversationPage.createPrModal.baseBranch":"Osnova","localConversationPage.createPrModal.baseBranchUnknown":"–","localConversationPage.createPrModal.confirm":"Izradi PR","localConversationPage.createPrModal.createDescription":"Otvorite zahtjev za povlačenje za svoje najnovije promjene.","localConversationPage.createPrModal.errorTitle":"Neuspješan zahtjev za povlačenje","localConversationPage.createPrModal.headBranch":"Glavno","localConversationPage.createPrModal.headBranchUnknown":"–","localConversationPage.createPrModal.open":"Otvori PR","localConversationPage.createPrModal.successTitle":"Stvoren je zahtjev za pull","localConversationPage.createPrModal.title":"Stvori zahtjev za povlačenje","localConversationPage.createPrModal.viewDescription":"Zahtjev za povlačenje već postoji za ovaj ogranak.","localConversationPage.createPrModal.viewTitle":"Spreman zahtjev za povlačenje","localConversationPage.createPullRequestAuthGh":"Provjeri autentičnost stavke GitHub CLI: pokreni `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informacije o ogranku nisu dostupne","localConversationPage.createPullRequestButtonLabel":"Izradi PR","localConversationPage.createPullRequestButtonLabel.loading":"Stvaram PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Zadane informacije o ogranku nisu dostupne","localConversationPage.createPullRequestError":"Nije uspjelo stvaranje zahtjeva za pull","localConversationPage.createPullRequestExistingPullRequest":"Zahtjev za povlačenje već postoji za ovaj ogranak","localConversationPage.createPullRequestGhStatusMissing":"Učitavanje stanja GitHub CL…","localConversationPage.createPullRequestInstallGh":"Instalirajte GitHub CLI (gh) za izradu PR-ova","localConversationPage.createPullRequestNoRepo":"Nije pronađen repozitorij git","localConversationPage.createPullRequestPushStatusMissing":"Učitavanje stanja slanja…","localConversationPage.createPullRequestSetUpstream":"Gurnite ovaj ogranak prije izrade PR-a","localConversationPage.createPullRequestSuccessToast":"Stvoren je zahtjev za pull","localConversationPage.createPullRequestSwitchBranch":"Provjerite ogranak značajke prije izrade PR-a","localConversationPage.error.render":"Pogreška pri prikazivanju lokalnog razgovora","localConversationPage.error.toast":"Razgovor nije pronađen","localConversationPage.forcePushError":"Neuspješno prisilno slanje","localConversationPage.generatePullRequestMessageError":"Neuspješna izrada naslova i tijela zahtjeva za pull","localConversationPage.generatePullRequestMessageFailed":"Neuspješna izrada naslova i tijela zahtjeva za pull.","localConversationPage.gitActionResult.branch":"Ogranak","localConversationPage.gitActionResult.cancel":"Otkaži","localConversationPage.gitActionResult.close":"Zatvori","localConversationPage.gitActionResult.tryAgain":"Pokušaj ponovno","localConversationPage.gitActions":"Radnje git","localConversationPage.newChat":"Novo čavrljanje","localConversationPage.openInTarget":"Otvori u","localConversationPage.openPrimaryTarget":"Otvori","localConversationPage.planItemsCompleted":"{completedItems} od {totalItems, plural, one {# dovršeni zadatak} few {# dovršena zadatka} other {# dovršenih zadataka}}","localConversationPage.pushAuthError":"Push neuspješan: potrebna provjera autentičnosti","localConversationPage.pushBranchMissing":"Informacije o ogranku nisu dostupne","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Slanje…","localConversationPage.pushError":"Neuspješno slanje promjena","localConversationPage.pushModal.branchLabel":"Ogranak","localConversationPage.pushModal.branchUnknown":"–","localConversationPage.pushModal.cancel":"Otkaži","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Pošaljite svoje najnovije potvrđene promjene u daljinski repozitorij.","localConversationPage.pushModal.errorTitle":"Neuspješno slanje","localConversationPage.pushModal.forcePush":"Prisilno pošalji","localConversationPage.pushModal.successTitle":"Dovršeno slanje","localConversationPage.pushModal.title":"Promjene slanja","localConversationPage.pushModal.tryAgain":"Pokušaj ponovno","localConversationPage.pushNoUpstream":"Postavite prosljeđivanje (upstream) prije slanja ovog ogranka","localConversationPage.pushNoUpstreamError":"Push neuspješan: nije konfigurirano prosljeđivanje (upstream)","localConversationPage.pushNothingToPush":"Nema novih commita za slanje","localConversationPage.pushRemoteChangedError":"Push neuspješan: daljinska stavka ima nove commite","localConversationPage.pushRemoteRejectedError":"Daljinska stavka odbacila je push","localConversationPage.pushStatusMissing":"Učitavanje stanja slanja…","localConversationPage.pushSuccessToast":"Poslane promjene","localConversationPage.viewPullRequestButtonLabel":"Prikaži PR","localConversationPage.viewPullRequestButtonLabel.loading":"Učitavanje zahtjeva za pull…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# popis} few {# popisa} other {# popisa}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# pretraga} few {# pretraga/e} other {# pretraga/e}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Istražuje","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Istraženo","localConversationTurn.exploration.accordion.header.complete.withCounts":"Istraženo: {counts}","localConversationTurnStory.showContent":"Prikaži sadržaj","localConversationTurnStory.streamContent":"Struji sadržaj","localConversationTurnStory.toggleReasoning":"Prikaži prosuđivanje","localTaskRow.archiveError":"Neuspješno arhiviranje razgovora","localTaskRow.resumeError":"Neuspješno nastavljanje zadatka","mermaidDiagram.ariaLabel":"Dijagram Mermaid","mermaidDiagram.copySource":"Kopiraj dijagram Mermaid","mermaidDiagram.originalCode":"Izvorni kod Mermaid","notifications.permissions.description":"Prikaži upozorenja kada su potrebna dopuštenja za obavijesti","notifications.permissions.label":"Omogući obavijesti o dopuštenju","notifications.turnMode.always":"Uvijek","notifications.turnMode.description":"Postavite kada će vas Codex obavijestiti da je završio","notifications.turnMode.label":"Uključi obavijesti o dovršetku","notifications.turnMode.off":"Nikada","notifications.turnMode.unfocused":"Samo kada nije fokusirano","patchApprovalRequest.approve":"Odobri","patchApprovalRequest.menu.allowAlways":"Da, i ne pitaj više u ovoj sesiji","patchApprovalRequest.menu.allowForSession":"Da, i ne pitaj više u ovoj sesiji","patchApprovalRequest.menu.allowOnce":"Da","patchApprovalRequest.prompt":"Želite li napraviti te promjene?","patchApprovalRequest.reject":"Ne","patchApprovalRequest.waitingForApproval":"Čekanje na odobrenje za uređivanje datoteka","pendingRequest.approvalExec.collapse":"Sažimanje","pendingRequest.approvalExec.expand":"Proširenje","pendingRequestStory.toastAnswer":"Odgovor: {answer}","pendingRequestStory.toastApprovalTitle":"Odgovor odobrenja","pendingRequestStory.toastFollowupPrompt":"Upit: {prompt}","pendingRequestStory.toastFollowupTitle":"Naknadan upit poslan","pendingRequestStory.toastNoAnswers":"Nema danih odgovora","pendingRequestStory.toastQuestion":"Pitanje: {question}","pendingRequestStory.toastUnknownDecision":"Nepoznato","pendingRequestStory.toastUserInputTitle":"Poslani odgovori","quickAction.request.codeReview.branches.new":"Pregledaj promjene {from} u odnosu na {to}","quickAction.request.codeReview.uncommitted.new":"Pregledaj moje nepohranjene promjene","reasoningItem.thinking":"Razmišlja","reasoningItem.thought":"Razmišljanje je završeno","reasoningItem.thoughtWithElapsed":"Misao za {elapsed}","recentConversations.title":"Nedavni razgovori","recentTasks.worktreeInitFailedTitle":"Neuspješno pokretanje inicijalizacije radnog stabla","recentTasks.worktreeSettingUpTitle":"Postavljanje radnog stabla","requestInputPanel.continue":"Nastavi","requestInputPanel.dismiss":"Odbaci","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Piši ovdje","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ne, i recite Codexu što da učini drukčije","requestInputPanel.selectedBadge":"Odabrano","requestInputPanel.skip":"Preskoči","requestInputPanel.submit":"Pošalji","review.commit.ariaLabel.includeUnstaged":"Uključi nepripremljeno","review.commit.buttonLabel":"Spremi","review.commit.disabled.committing":"Potvrđivanje promjena…","review.commit.disabled.loadingDiff":"Učitavanje značajke diff…","review.commit.disabled.missingContext":"Dodajte kontekst za izradu poruke potvrde","review.commit.disabled.noChanges":"Nema promjena za spremanje","review.commit.disabled.noSelection":"Odaberite promjene za spremanje","review.commit.disabled.unavailable":"Spremanje trenutačno nije dostupno","review.commit.error":"Neuspješno spremanje promjena","review.commit.form.changesToBeCommitted":"Promjene","review.commit.form.commitTo":"Ogranak","review.commit.form.commitTo.none":"–","review.commit.form.continue":"Nastavi","review.commit.form.title":"Spremite svoje promjene","review.commit.generate.emptyResponse":"Nije moguće izraditi poruku za commit.","review.commit.generate.failed":"Neuspješna izrada poruke za commit: {error}","review.commit.generate.missingPrompt":"Dodajte neki kontekst kako biste izradili poruku za commit.","review.commit.includeUnstaged":"Uključi nepripremljeno","review.commit.loading.description":"Pričekajte, ovo bi moglo malo potrajati…","review.commit.loading.step.commit.done":"Spremljene promjene","review.commit.loading.step.commit.pending":"Potvrđivanje promjena","review.commit.loading.step.createPr.done":"Stvoren zahtjev za slanje","review.commit.loading.step.createPr.pending":"Stvaranje zahtjeva za slanje","review.commit.loading.step.push.done":"Poslano u ogranak {branch}","review.commit.loading.step.push.pending":"Slanje u ogranak {branch}","review.commit.loading.title.commit":"Potvrđivanje promjena","review.commit.loading.title.createPr":"Stvaranje PR-a","review.commit.loading.title.push":"Slanje promjena","review.commit.messageLabel":"Poruka spremanja","review.commit.messagePlaceholder":"Ostavite prazno za automatsku izradu poruke commita","review.commit.nextSteps":"Sljedeći koraci","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Potvrdi promjene i stvori PR","review.commit.nextSteps.commitAndPush":"Potvrdi promjene i pošalji","review.commit.nextSteps.prRequiresGh":"Potreban je GitHub CLI: {command}","review.commit.rows.changes":"Promjene","review.commit.rows.commitCount":"{count, plural, one {# commit} few {# commita} other {# commita}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} few {# commita} other {# commita}} i {stats}","review.commit.rows.fileCount":"{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","review.commit.state.error.body":"Došlo je do pogreške prilikom spremanja. Provjerite status na gitu pa pokušajte ponovno.","review.commit.state.error.title":"Spremanje nije uspjelo","review.commit.state.success.title":"Promjene su primijenjene","review.commit.untracked.loadingStats":"Učitavanje nepraćenih statistika diffova…","reviewFindingAttachments.count":"{count, plural, one {# nalaz} few {# nalaza} other {# nalaza}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Uredite svoju konfiguraciju za prilagođavanje ponašanja agenta","settings.agent.configuration.configToml.docs":"Dokumenti","settings.agent.configuration.configToml.restartNote":"Ponovno pokrenite Codex nakon uređivanja kako biste primijenili promjene","settings.agent.configuration.subtitle":"Te se postavke primjenjuju na sva mjesta gdje se upotrebljava Codex","settings.automations.banner.danger":"Automatizacije se izvode sa zadanim postavkama pješčanika koje su trenutačno postavljene na puni pristup. Pokretanje automatizacija u pozadini s punim pristupom nosi povećani rizik jer Codex može mijenjati datoteke, pokretati naredbe i pristupati mreži bez pitanja. Razmislite o ažuriranju postavki pješčanika na pisanje u radni prostor i uporabi <rulesDocsLink>pravila</rulesDocsLink> za selektivno definiranje koje naredbe agent može pokretati punim pristupom.","settings.automations.banner.defaultHowTo.default":"Automatizacije se izvode sa zadanim postavkama pješčanika. Pozivi alata neće uspjeti ako zahtijevaju izmjenu datoteka izvan radnog prostora, pristup mreži ili rad s aplikacijama na vašem računalu. Možete selektivno dopustiti naredbe za izvođenje izvan pješčanika primjenom <rulesDocsLink>pravila</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizacije se izvode sa zadanim postavkama pješčanika koje su postavljene samo na čitanje. Pozivi alata neće uspjeti ako zahtijevaju izmjenu datoteka, pristup mreži ili rad s aplikacijama na vašem računalu. Razmislite o ažuriranju postavki pješčanika na pisanje u radni prostor.","settings.automations.cancel":"Otkaži","settings.automations.create":"Stvori","settings.automations.cwdEmpty":"Nema dostupnih mapa projekta","settings.automations.cwdLabel":"Projekti","settings.automations.cwdPlaceholder":"Odaberite mapu","settings.automations.cwdSubtitle":"Ako želite da se automatizacija pokrene na određenom ogranku, možete to odrediti u svojem odzivniku.","settings.automations.delete":"Izbriši","settings.automations.dialog.editTitle":"Uredi automatizaciju","settings.automations.dialog.newTitle":"Nova automatizacija","settings.automations.dialog.subtitle":"Automatizirajte ponavljajuće zadatke u pozadini. Codex dodaje rezultate u pristiglu poštu ili automatski arhivira zadatak ako nema što prijaviti. <learnMoreLink>Saznajte više</learnMoreLink>","settings.automations.dialog.title":"Stvori automatizaciju","settings.automations.executionCopy.git":"Projekti Git izvode se u namjenskim pozadinskim radnim stablima.","settings.automations.executionCopy.local":"Automatizacije se izvršavaju izravno u odabranim direktorijima projekata.","settings.automations.executionCopy.nonGit":"Projekti koji nisu kontrolirani inačicama izvode se lokalno jer radna stabla zahtijevaju Git.","settings.automations.executionEnvironment.ariaLabel":"Okruženje izvršenja","settings.automations.executionEnvironment.label":"Okruženje izvršenja","settings.automations.executionEnvironment.local":"Lokalno","settings.automations.executionEnvironment.local.help":"Izvršava se izravno u odabranom direktoriju projekta bez izrade radnog stabla.","settings.automations.executionEnvironment.worktree":"Radno stablo","settings.automations.executionEnvironment.worktree.help":"Radi u namjenskom radnom stablu Git izrađenom iz odabranog projekta, držeći vašu trenutnu odjavu netaknutom.","settings.automations.loading":"Učitavanje...","settings.automations.nameLabel":"Naziv","settings.automations.namePlaceholder":"Provjerite probleme sentry","settings.automations.pause":"Zaustavi","settings.automations.promptLabel":"Odzivnik","settings.automations.promptPlaceholder":"tražiti padove u $Sentry","settings.automations.resume":"Nastavi","settings.automations.rruleSummaryFallback":"Prilagođen raspored","settings.automations.runNow":"Test","settings.automations.save":"Spremi","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Radni dani","settings.automations.scheduleBadge.weekends":"Vikendi","settings.automations.scheduleHeader":"Zakaži","settings.automations.scheduleHours":"sati","settings.automations.scheduleLabel":"Pokreni svaki","settings.automations.scheduleMode.daily":"Dnevno","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Vrsta rasporeda","settings.automations.scheduleSummary.daily":"Dnevno u {time}","settings.automations.scheduleSummary.interval":"Svakih {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dan} few {# dana} other {# dana}}","settings.automations.scheduleSummary.intervalDays":"{interval} {days}","settings.automations.scheduleSummary.intervalHourly":"Satno","settings.automations.scheduleSummary.singleDay":"{day} u {time}","settings.automations.scheduleSummary.weekdays":"Radnim danom u {time}","settings.automations.scheduleSummary.weekdaysLabel":"radni dani","settings.automations.scheduleSummary.weekends":"Vikendom u {time}","settings.automations.scheduleSummary.weekendsLabel":"vikendi","settings.automations.scheduleSummary.weekly":"{days} u {time}","settings.automations.scheduleWeekdays":"Uključeno","settings.automations.weekdayState.excluded":"Isključeno","settings.automations.weekdayState.included":"Uključeno","settings.conversationDetail.steps":"Koraci","settings.conversationDetail.steps.description":"Sakrij naredbe i izlaze","settings.conversationDetail.stepsWithCommands":"Koraci s naredbama kôdiranja","settings.conversationDetail.stepsWithCommands.description":"Prikaži naredbe, sažmi izlaz","settings.conversationDetail.stepsWithOutput":"Koraci s izlazom kôdiranja","settings.conversationDetail.stepsWithOutput.description":"Prikaži naredbe i proširi izlaz","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nema arhiviranih čavrljanja.","settings.dataControls.archivedChats.error":"Nije moguće učitati arhivirana čavrljanja.","settings.dataControls.archivedChats.loading":"Učitavanje arhiviranih čavrljanja…","settings.dataControls.archivedChats.unarchive":"Poništi arhiviranje","settings.dataControls.archivedChats.unarchiveError":"Neuspješno poništavanje arhiviranja čavrljanja","settings.dataControls.archivedChats.unarchiveSuccess":"Poništeno arhiviranje razgovora. <viewNowLink>Prikaži sada</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Poništeno arhiviranje razgovora.","settings.dataControls.archivedChats.untitled":"Čavrljanje bez naslova","settings.dataControls.archivedChats.viewNow":"Prikaži sada","settings.editRow.headerPlaceholder":"Ključ","settings.editRow.removeEntry":"Ukloni upis","settings.editRow.valuePlaceholder":"Vrijednost","settings.general.appearance":"Izgled","settings.general.appearance.codeFont":"Font kôda","settings.general.appearance.codeFont.description":"Prilagodite font i veličinu koji se upotrebljavaju za kôd u čavrljanjima i diffovima","settings.general.appearance.codeFontFamily":"Obitelj fonta za kôd","settings.general.appearance.codeFontSize":"Veličina fonta kôda","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Neka prozori upotrebljavaju jednoličnu pozadinu umjesto prozirnosti sustava","settings.general.appearance.opaqueWindows.label":"Upotrijebi neprozirnu pozadinu prozora","settings.general.appearance.sansFontFamily":"Obitelj fonta sans","settings.general.appearance.sansFontFamily.description":"Prilagodite font koji se upotrebljava za korisničko sučelje Codex","settings.general.appearance.sansFontSize":"Veličina fonta sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Prikaz efekta proslave preko cijelog prozora dok GPT-5.3-Codex-Spark izvršava prvi potez","settings.general.appearance.sparkCelebrationEffects.label":"Efekti proslave","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Tamno","settings.general.appearance.theme.description":"Upotrijebite svijetlo, tamno ili boju koja odgovara vašem sustavu","settings.general.appearance.theme.light":"Munjevito","settings.general.appearance.theme.system":"Sustav","settings.general.appearance.usePointerCursors.description":"Promijenite kursor u pokazivač prilikom zadržavanja pokazivača iznad interaktivnih elemenata","settings.general.appearance.usePointerCursors.label":"Upotrijebite pokazivače kursora","settings.general.enterBehavior.description":"Kada je omogućeno, višeredni odzivnici zahtijevaju {modifierSymbol} + enter za slanje.","settings.general.enterBehavior.label":"Zahtijeva {modifierSymbol} + enter za slanje dugih odzivnika","settings.general.experimentalFeatures":"Eksperimentalne značajke (Beta)","settings.general.experimentalFeatures.empty":"Nema dostupnih beta eksperimentalnih značajki.","settings.general.experimentalFeatures.loading":"Učitavanje eksperimentalnih značajki…","settings.general.experimentalFeatures.restartNote":"Ponovo pokrenite Codex kako biste primijenili eksperimentalne promjene značajki","settings.general.experimentalFeatures.toggle":"Uključi/isključi {featureName}","settings.general.followUpQueueMode.description":"Stavi praćenja u red čekanja dok se Codex izvršava ili upravljaj trenutačnim izvršavanjem. Pritisnite {invertFollowUpShortcutLabel} za suprotan postupak za jednu poruku.","settings.general.followUpQueueMode.interrupt":"Upravljaj","settings.general.followUpQueueMode.label":"Ponašanje tijekom praćenja","settings.general.followUpQueueMode.queue":"Red čekanja","settings.general.notifications":"Obavijesti","settings.general.power.preventSleepWhileRunning.description":"Pripazite da računalo ne prijeđe u stanje mirovanja dok Codex izvodi razgovor.","settings.general.power.preventSleepWhileRunning.label":"Spriječi prelazak u stanje mirovanja tijekom izvođenja","settings.git.branchPrefix.ariaLabel":"Prefiks ogranka","settings.git.branchPrefix.description":"Prefiks koji se upotrebljava pri izradi novih ogranaka u Codexu","settings.git.branchPrefix.label":"Prefiks ogranka","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Neuspješno spremanje prefiksa ogranka","settings.git.branchPrefix.save.success":"Spremljeni prefiks ogranka","settings.git.commitInstructions.ariaLabel":"Upute za commit","settings.git.commitInstructions.description":"Dodano u odzivnike za izradu poruka za commit","settings.git.commitInstructions.label":"Upute za commit","settings.git.commitInstructions.placeholder":"Dodaj vodič za commit poruke…","settings.git.commitInstructions.save":"Spremi","settings.git.commitInstructions.save.error":"Neuspješno spremanje uputa za commit","settings.git.commitInstructions.save.success":"Spremljene upute za commit","settings.git.forcePush.ariaLabel":"Uvijek prisilno pošalji (force push)","settings.git.forcePush.description":"Upotrijebi --force-with-lease prilikom slanja iz Codexa","settings.git.forcePush.label":"Uvijek prisilno pošalji (force push)","settings.git.forcePush.save.disabled":"Uvijek prisilno pošalji (force push) onemogućeno","settings.git.forcePush.save.enabled":"Uvijek prisilno pošalji (force push) omogućeno","settings.git.forcePush.save.error":"Neuspješno spremanje postavke prisilnog slanja (force push)","settings.git.prInstructions.ariaLabel":"Upute zahtjeva za pull","settings.git.prInstructions.description":"Dodano tijelima zahtjeva za pull koje je izradio Codex","settings.git.prInstructions.label":"Upute zahtjeva za pull","settings.git.prInstructions.placeholder":"Dodaj vodič za zahtjev za pull…","settings.git.prInstructions.save":"Spremi","settings.git.prInstructions.save.error":"Neuspješno spremanje uputa zahtjeva za pull","settings.git.prInstructions.save.success":"Spremljene upute zahtjeva za pull","settings.ide.defaultOpenTarget.description":"Gdje se datoteke i mape zadano otvaraju","settings.ide.defaultOpenTarget.label":"Zadano otvoreno odredište","settings.ide.defaultOpenTarget.placeholder":"Nema pronađenih ciljeva","settings.ide.language.auto":"Automatsko otkrivanje","settings.ide.language.autoOption":"Automatsko otkrivanje","settings.ide.language.description":"Jezik za korisničko sučelje aplikacije","settings.ide.language.label":"Jezik","settings.ide.language.search":"Pretražite jezike","settings.layout.actionButton":"Ponovno pokreni proširenje","settings.layout.actionTitle":"Postavke s radnjom","settings.layout.fullWidthTitle":"Postavke (puna širina)","settings.layout.title":"Postavke","settings.localEnvironments.actions.add":"Dodaj radnju","settings.localEnvironments.actions.add.description":"Izradite novu naredbu za pokretanje iz alatne trake.","settings.localEnvironments.actions.add.save":"Spremi","settings.localEnvironments.actions.empty":"Dodaj radnju za izvođenje naredbi s lokalne alatne trake.","settings.localEnvironments.actions.icon.debug":"Ispravljanje pogrešaka","settings.localEnvironments.actions.icon.run":"Pokreni","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Alat","settings.localEnvironments.actions.item.button.delete":"Izbriši","settings.localEnvironments.actions.item.command":"Skripta radnje","settings.localEnvironments.actions.item.name":"Naziv","settings.localEnvironments.actions.item.platforms":"Platforme","settings.localEnvironments.actions.item.platforms.help":"Izvođenje samo na određenom operativnom sustavu.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Odabir platforme","settings.localEnvironments.actions.item.platforms.specific":"Specifično za platformu","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Izbriši","settings.localEnvironments.actions.title":"Radnje","settings.localEnvironments.breadcrumb.back":"Natrag","settings.localEnvironments.breadcrumb.edit":"uredi","settings.localEnvironments.breadcrumb.root":"Okružja","settings.localEnvironments.environment.actions.description":"Te radnje mogu izvesti bilo koju naredbu i bit će prikazane u zaglavlju.","settings.localEnvironments.environment.actionsLabel":"Radnje","settings.localEnvironments.environment.create":"Izradi lokalno okruženje","settings.localEnvironments.environment.defaultName":"Lokalno","settings.localEnvironments.environment.edit":"Uredi lokalno okruženje","settings.localEnvironments.environment.empty":"Za ovaj projekt još nije konfigurirano lokalno okruženje.","settings.localEnvironments.environment.name":"Naziv","settings.localEnvironments.environment.setup":"Skripta za postavljanje","settings.localEnvironments.environment.setup.description":"Ova će se skripta pokrenuti prilikom izrade radnog stabla.","settings.localEnvironments.environment.setup.hint":"Izvodi se u korijenu projekta.","settings.localEnvironments.environment.setup.platformOverrides":"Nadjačavanja platforme","settings.localEnvironments.environment.setup.platformOverrides.add":"Dodaj skriptu za postavljanje platforme {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Nadjačava zadanu skriptu za određene operativne sustave.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Ukloni","settings.localEnvironments.environment.setup.script":"Skripta","settings.localEnvironments.environment.title":"Pojedinosti o okruženju","settings.localEnvironments.file.missing":"Spremite da biste prvi put izradili ovu datoteku.","settings.localEnvironments.file.parseError":"Nije moguće parsirati postojeću datoteku. Spremanje će ju prebrisati. ({error})","settings.localEnvironments.file.path":"Datoteka: {path}","settings.localEnvironments.file.readError":"Neuspješno učitavanje podataka o lokalnom okruženju. ({error})","settings.localEnvironments.file.title":"Datoteka lokalnog okruženja","settings.localEnvironments.loading.body":"Dohvaćanje vaše konfiguracije projekta.","settings.localEnvironments.loading.title":"Učitavanje lokalnih okruženja","settings.localEnvironments.preview.devOnly":"(Samo DEV)","settings.localEnvironments.preview.save":"Spremi","settings.localEnvironments.preview.saveError":"Neuspješno spremanje datoteke. ({error})","settings.localEnvironments.preview.title":"Pretpregled","settings.localEnvironments.save.disabled.name":"Dodajte naziv okruženja za spremanje.","settings.localEnvironments.save.disabled.noChanges":"Nema promjena za spremanje.","settings.localEnvironments.save.disabled.saving":"Spremanje…","settings.localEnvironments.save.success":"Spremljeno lokalno okruženje","settings.localEnvironments.unavailable.body":"Nismo mogli učitati postavke lokalnog okruženja za ovaj projekt.","settings.localEnvironments.unavailable.title":"Lokalna okruženja nisu dostupna","settings.localEnvironments.workspace.add":"Dodaj projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Dodaj okruženje","settings.localEnvironments.workspaceSelect.description":"Lokalna okruženja otkrivaju Codexu kako postaviti radna stabla za projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Još nema projekta. Dodajte jedan za konfiguriranje lokalnih okruženja.","settings.localEnvironments.workspaceSelect.errorLabel":"Okruženju je potrebna intervencija","settings.localEnvironments.workspaceSelect.learnMore":"Doznajte više","settings.localEnvironments.workspaceSelect.listLabel":"Dostupni projekti","settings.localEnvironments.workspaceSelect.loading":"Učitavam projekte.","settings.localEnvironments.workspaceSelect.loadingLabel":"Učitavanju okruženja","settings.localEnvironments.workspaceSelect.title":"Odaberi projekt","settings.localEnvironments.workspaceSelect.viewAction":"Prikaz","settings.mcp.addServer":"Dodaj poslužitelj","settings.mcp.app.configure":"Konfiguriraj","settings.mcp.app.connect":"Poveži","settings.mcp.apps.refresh":"Osvježi","settings.mcp.detail.addArgument":"Dodaj argument","settings.mcp.detail.addEnvVar":"Dodaj varijablu okruženja","settings.mcp.detail.addEnvVarPassthrough":"Dodaj varijablu","settings.mcp.detail.args":"Argumenti","settings.mcp.detail.back":"Natrag","settings.mcp.detail.command":"Naredi pokretanje","settings.mcp.detail.cwd":"Radni direktorij","settings.mcp.detail.docs":"Otvori dokumentaciju MCP","settings.mcp.detail.docs.link":"Dokumenti","settings.mcp.detail.envVarPassthrough":"Prolazak kroz varijablu okruženja","settings.mcp.detail.envVars":"Varijable okruženja","settings.mcp.detail.http.addEnvHeader":"Dodaj varijablu","settings.mcp.detail.http.addHeader":"Dodaj zaglavlje","settings.mcp.detail.http.bearerToken":"Env var tokena nositelja","settings.mcp.detail.http.envHeaders":"Zaglavlja iz varijabli okruženja","settings.mcp.detail.http.headers":"Zaglavlja","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Naziv","settings.mcp.detail.save":"Spremi","settings.mcp.detail.switchTransportNotice":"Ako želite promijeniti vrstu poslužitelja MCP, prvo deinstalirajte.","settings.mcp.detail.titleExisting":"Ažuriraj {name} MCP","settings.mcp.detail.titleNew":"Poveži s prilagođenim MCP-om","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Deinstaliraj","settings.mcp.empty":"Nema povezanih prilagođenih poslužitelja MCP","settings.mcp.myServers":"Prilagođeni poslužitelji","settings.mcp.partnerServer.description.figma":"Izradite bolji kôd uključivanjem punog konteksta Figma","settings.mcp.partnerServer.description.github":"Integrirajte se s GitHub API-jima za automatizaciju tijeka rada i izdvajanje podataka","settings.mcp.partnerServer.description.linear":"Integrirajte se s Linearovim praćenjem problema i upravljanjem projektima","settings.mcp.partnerServer.description.notion":"Čitajte dokumente, ažurirajte stranice, upravljajte zadatcima","settings.mcp.partnerServer.description.playwright":"Integrirajte automatizaciju preglednika za implementaciju dizajna i ispitivanje korisničkog sučelja.","settings.mcp.partnerServer.install":"Instaliraj","settings.mcp.partnerServer.installAndAuthenticate":"Instaliraj i provjeri autentičnost","settings.mcp.partnerServer.logoAlt":"Logotip {label}","settings.mcp.partnerServer.manage":"Upravljanje","settings.mcp.partnerServer.vendor":"Autor: {vendor}","settings.mcp.recommendedServers":"Predloženi poslužitelji","settings.mcp.restartApp":"Ponovno pokreni","settings.mcp.restartExtension":"Ponovno pokreni proširenje","settings.mcp.server.enable":"Omogući","settings.mcp.server.login":"Provjeri autentičnost","settings.mcp.server.settings":"Postavke","settings.multiselect.createOption":"Stvori „{value}”","settings.multiselect.removeOption":"Ukloni","settings.nav.account":"Račun","settings.nav.agent":"Konfiguracija","settings.nav.ariaLabel":"Postavke","settings.nav.back":"Natrag na aplikaciju","settings.nav.data-controls":"Arhivirani razgovori","settings.nav.environments":"Okruženja u oblaku","settings.nav.externalTooltip":"[alpha] Otvara se u pregledniku","settings.nav.general-settings":"Općenito","settings.nav.git-settings":"Git","settings.nav.local-environments":"Okružja","settings.nav.mcp-settings":"Poslužitelji MCP","settings.nav.notImplemented":"[alpha] Nije dostupno u Alphi","settings.nav.personalization":"Personalizacija","settings.nav.skills-settings":"Vještine","settings.nav.usage-analytics":"Uporaba i analitika","settings.nav.worktrees":"Radna stabla","settings.openSourceLicenses.back":"Natrag","settings.openSourceLicenses.loading":"Učitavanje...","settings.openSourceLicenses.missing":"Nisu pronađene obavijesti trećih strana.","settings.openSourceLicenses.notSupported":"Nije dostupno kod ovog domaćina.","settings.openSourceLicenses.rowDescription":"Obavijesti trećih strana za povezane zahtjeve","settings.openSourceLicenses.rowLabel":"Licence za softver otvorenog kôda","settings.openSourceLicenses.subtitle":"Obavijesti trećih strana za zahtjeve obuhvaćene u ovu aplikaciju","settings.openSourceLicenses.title":"Licence za softver otvorenog kôda","settings.openSourceLicenses.view":"Prikaz","settings.personalization.agents.description":"Upute za uređivanje koje prilagođavaju Codex vama. {learnMore}","settings.personalization.agents.learnMore":"Doznajte više","settings.personalization.agents.loadError":"Nije moguće učitati značajku agents.md.","settings.personalization.agents.loading":"Učitavanje značajke agents.md…","settings.personalization.agents.placeholder":"Dodajte svoje osobno prilagođene upute…","settings.personalization.agents.retry":"Pokušaj ponovno","settings.personalization.agents.save":"Spremi","settings.personalization.agents.save.error":"Nije moguće spremiti agents.md","settings.personalization.agents.save.success":"Spremljena je značajka agents.md","settings.personalization.agents.title":"Prilagođene upute","settings.personalization.personality.description":"Odaberite zadani ton za Codexove odgovore","settings.personalization.personality.label":"Osobnost","settings.sample.contentBody":"Upotrijebite ovaj raspored za sastavljanje ploča s postavkama s dosljednim razmakom.","settings.sample.contentTitle":"Uzorak bloka sadržaja","settings.section.account":"Račun","settings.section.agent":"Konfiguracija","settings.section.data-controls":"Arhivirani razgovori","settings.section.environments":"Okruženja u oblaku","settings.section.external":"Otvara se u vašem pregledniku tijekom Alphe","settings.section.general-settings":"Općenito","settings.section.git-settings":"Git","settings.section.local-environments":"Okružja","settings.section.mcp-settings":"Poslužitelji MCP","settings.section.mcp-settings.docs":"Dokumenti","settings.section.mcp-settings.subtitle":"Povežite vanjske alate i podatkovne izvore.","settings.section.personalization":"Personalizacija","settings.section.skills-settings":"Vještine","settings.section.unavailable":"Još nije dostupno u Alphi","settings.section.usage-analytics":"Uporaba i analitika","settings.section.worktrees":"Radna stabla","settings.threadDetail.description":"Odaberite koliko izlaza naredbi želite prikazati u razgovorima","settings.threadDetail.label":"Pojedinosti razgovora","settings.worktrees.conversation.untitled":"Razgovor bez naslova","settings.worktrees.delete.error":"Neuspješno brisanje radnog stabla","settings.worktrees.empty.body":"Radna stabla koja je izradio Codex pojavit će se ovdje.","settings.worktrees.empty.title":"Još nema radnih stabala","settings.worktrees.error.body":"Nešto je pošlo po zlu prilikom učitavanja radnih stabala.","settings.worktrees.error.retry":"Pokušaj ponovno","settings.worktrees.error.title":"Nije moguće učitati radna stabla","settings.worktrees.loading.body":"Dohvaćanje pojedinosti o radnom stablu.","settings.worktrees.loading.title":"Učitavanje radnih stabala","settings.worktrees.repository.loading":"Učitavanje metapodataka repozitorija…","settings.worktrees.repository.unknown":"Nepoznati repozitorij","settings.worktrees.row.conversations":"Razgovori","settings.worktrees.row.conversations.empty":"Još nema povezanih razgovora za ovo radno stablo.","settings.worktrees.row.conversations.loading":"Učitavanje razgovora…","settings.worktrees.row.delete":"Izbriši","settings.worktrees.row.title":"Radno stablo","sidebarElectron.addWorkspaceRoot":"Dodaj novi projekt","sidebarElectron.archiveThread":"Arhiviraj razgovor","sidebarElectron.archiveThreadError":"Neuspješno arhiviranje niti","sidebarElectron.collapseFolder":"Skupi mapu","sidebarElectron.createStableWorktree":"Izradi trajno radno stablo","sidebarElectron.createStableWorktree.dialog.ariaLabel":"Naziv projekta","sidebarElectron.createStableWorktree.dialog.cancel":"Otkaži","sidebarElectron.createStableWorktree.dialog.create":"Stvori","sidebarElectron.createStableWorktree.dialog.placeholder":"Naziv projekta","sidebarElectron.createStableWorktree.dialog.subtitle":"Izradite novo git radno stablo iz HEAD-a, dodajte ga kao projekt i zadržite ga dok ga ne uklonite.","sidebarElectron.createStableWorktree.dialog.title":"Izradite radno stablo i spremite ga kao projekt","sidebarElectron.createStableWorktree.error":"Neuspješna izrada trajnog radnog stabla: {message}","sidebarElectron.debugNavLink":"Ispravljanje pogrešaka","sidebarElectron.editWorkspaceRootOptionName":"Uredi naziv","sidebarElectron.expandFolder":"Proširi mapu","sidebarElectron.groupByMenu.recency":"Kronološki popis","sidebarElectron.groupByMenu.title":"Organiziraj","sidebarElectron.groupByMenu.workspace":"Prema projektu","sidebarElectron.inboxRouteNavLink":"Automatizacije","sidebarElectron.markThreadUnread":"Označi kao nepročitano","sidebarElectron.missingWorkspaceRoot":"Ova mapa projekta izbrisana je ili premještena","sidebarElectron.newThread":"Novi razgovor","sidebarElectron.newThreadInGroup":"Pokreni novi razgovor u {folder}","sidebarElectron.noRecentThreads":"Nema nedavnih razgovora","sidebarElectron.noTasks":"Nema razgovora","sidebarElectron.noTasks.start":"Dodaj novi projekt","sidebarElectron.noTasksWithFilter":"Nijedan razgovor ne podudara se s filtrima","sidebarElectron.pinnedThreads":"Prikvačeni razgovori","sidebarElectron.recentNavLink":"Razgovori","sidebarElectron.recentThreads":"Nedavni razgovori","sidebarElectron.removeWorkspaceRootOption":"Ukloni","sidebarElectron.renameThread":"Promijeni naziv razgovora","sidebarElectron.renameThreadDialogAriaLabel":"Naslov razgovora","sidebarElectron.renameThreadDialogCancel":"Otkaži","sidebarElectron.renameThreadDialogPlaceholder":"Dodaj naslov…","sidebarElectron.renameThreadDialogSave":"Spremi","sidebarElectron.renameThreadDialogSubtitle":"Neka bude kratko i prepoznatljivo.","sidebarElectron.renameThreadDialogTitle":"Promijeni naziv razgovora","sidebarElectron.renameThreadError":"Neuspješna promjena naziva razgovora","sidebarElectron.renameWorkspaceRootOptionLabel":"Prikazani naziv","sidebarElectron.showLess":"Prikaži manje","sidebarElectron.showMenu.all":"Svi razgovori","sidebarElectron.showMenu.relevant":"Relevantno","sidebarElectron.showMenu.relevantHint":"Prikaži samo nedavne razgovore za trenutačni ogranak, radna stabla ili druge razgovore koje zahtijevaju vašu pažnju","sidebarElectron.showMenu.title":"Prikaži","sidebarElectron.showMenu.tooltip":"Filtrirajte, sortirajte i organizirajte razgovore","sidebarElectron.showMenu.trigger":"Filtriraj razgovore bočne trake","sidebarElectron.showMore":"Prikaži više","sidebarElectron.skillsAppsRouteNavLink":"Vještine i aplikacije","sidebarElectron.skillsRouteNavLink":"Vještine","sidebarElectron.sortMenu.created":"Stvoreno","sidebarElectron.sortMenu.title":"Sortiraj prema","sidebarElectron.sortMenu.updated":"Ažurirano","sidebarElectron.taskNavigation":"Mape automatizacije","sidebarElectron.tasksInFolder":"Automatizacije u {folder}","sidebarElectron.workspaceOptions":"Radnje projekta za: {folder}","sidebarElectron.worktreeGroupTooltip":"Ovo je radno stablo git","skills.appsPage.apps.enableToggle":"Omogući aplikaciju","skills.appsPage.apps.installOnChatGpt":"Instaliraj na ChatGPT-ju","skills.appsPage.apps.manageOnChatGpt":"Upravljajte na ChatGPT-ju","skills.appsPage.apps.noDescription":"Nema opisa","skills.appsPage.createSkill":"Nova vještina","skills.appsPage.empty.apps":"Nema pronađenih aplikacija","skills.appsPage.empty.discoverApps":"Nema aplikacija za otkriti","skills.appsPage.empty.installedApps":"Nema instaliranih aplikacija","skills.appsPage.empty.skills":"Nema pronađenih vještina","skills.appsPage.heading":"Vještine i aplikacije","skills.appsPage.search.all":"Pretraži vještine i aplikacije","skills.appsPage.search.all.label":"Pretraži vještine i aplikacije","skills.appsPage.search.apps":"Pretraži aplikacije","skills.appsPage.search.apps.label":"Pretraži aplikacije","skills.appsPage.search.skills":"Pretraži vještine","skills.appsPage.search.skills.label":"Pretraži vještine","skills.appsPage.section.apps":"Aplikacije","skills.appsPage.section.apps.seeAll":"Prikaži sve aplikacije: {count}","skills.appsPage.section.discover":"Otkrij","skills.appsPage.section.installedApps":"Instalirano","skills.appsPage.section.skills":"Vještine","skills.appsPage.section.skills.seeAll":"Prikaži sve vještine: {count}","skills.appsPage.subheading":"Daj Codexu supermoći. <link>Doznajte više</link>","skills.appsPage.tab.apps":"Aplikacije","skills.appsPage.tab.recommended":"Preporučeno","skills.appsPage.tab.skills":"Vještine","skills.card.contentsError":"Nije moguće učitati sadržaje vještina.","skills.card.disable":"Onemogući","skills.card.disableSuccess":"Vještina {skillName} onemogućena","skills.card.disabledBadge":"Onemogućeno","skills.card.enable":"Omogući","skills.card.enableSuccess":"Vještina {skillName} omogućena","skills.card.loadingContents":"Učitavanje sadržaja vještina…","skills.card.more":"Više radnji","skills.card.open":"Otvori","skills.card.removeFailed":"Neuspješno instaliranje vještine","skills.card.removeSuccess":"Vještina {skillName} deinstalirana","skills.card.toggleEnabledError":"Neuspješno ažuriranje vještine","skills.card.try":"Probaj","skills.card.trySkill":"Isprobaj vještinu","skills.card.uninstall":"Deinstaliraj","skills.hero.dotLabel":"Idi na slajd {index}","skills.hero.next":"Nova izdvojena vještina","skills.hero.trySkill":"Isprobaj vještinu","skills.page.createSkill":"Nova vještina","skills.page.empty":"Nema pronađenih vještina","skills.page.filteredEmpty":"Nijedna vještina ne odgovara vašim filtrima","skills.page.filteredEmptyDescription":"Pokušajte prilagoditi filtre za pretraživanje ili opseg","skills.page.heading":"Vještine","skills.page.loading":"Učitavanje vještina…","skills.page.refreshSkills":"Osvježi","skills.page.refreshSkillsToUseNew":"Osvježi za uporabu novih vještina","skills.page.search":"Pretraži vještine","skills.page.search.label":"Pretraži vještine","skills.page.subheading":"Daj Codexu supermoći. <link>Doznajte više</link>","skills.preview.copyPrompt":"Kopiraj odzivnik","skills.preview.examplePrompt":"Primjer odzivnika","skills.recommended.error":"Nije moguće učitati preporučene vještine","skills.recommended.install":"Instaliraj","skills.recommended.installSkill":"Instaliraj vještinu","skills.recommended.installSuccess":"Vještina {skillName} instalirana","skills.recommended.installed":"Instalirane","skills.scope.admin":"Administrator","skills.scope.adminInstalled":"Instalirao je administrator","skills.scope.builtIn":"Sustav","skills.scope.personal":"Osobno","skills.scope.repo":"Repozitorij","skills.scope.system":"Sustav","skills.scope.team":"Tim","skills.scope.user":"Korisnik","skills.section.installed":"Instalirane","skills.section.recommended":"Preporučeno","story.slidingToggle.existing":"Postojeće","story.slidingToggle.fromLocal":"S lokalnog","story.slidingToggle.new":"Novo","story.slidingToggle.toLocal":"Na lokalno","terminal.close":"Zatvori terminal","terminal.title":"Terminal","thinkingShimmer.default":"Razmišlja","threadEnvIcon.cloudTooltip":"Ovaj se razgovor izvodi u Codex Cloudu.","threadEnvIcon.localTooltip":"Ovaj se razgovor izvodi lokalno.","threadEnvIcon.worktreeTooltip":"Ovaj se razgovor izvodi u lokalnom radnom stablu git.","threadHeader.archiveConfirmCancel":"Otkaži","threadHeader.archiveConfirmConfirm":"Arhiviraj","threadHeader.archiveConfirmSubtitle":"Možete ga pronaći kasnije u svojim arhiviranim razgovorima.","threadHeader.archiveConfirmTitle":"Arhivirati razgovor?","threadHeader.copyAppLink":"Kopiraj deeplink","threadHeader.copySessionId":"Kopiraj ID sesije","threadHeader.copyWorkingDirectory":"Kopiraj radni direktorij","threadHeader.forkIntoLocal":"Forkaj u lokalno","threadHeader.forkIntoWorktree":"Forkaj u novo radno stablo","threadHeader.forkPendingWorktreePrompt":"Forkaj ovaj razgovor u novo radno stablo.","threadHeader.forkPendingWorktreeTitle":"Forkani razgovor","threadHeader.forkThreadError":"Neuspješno forkanje razgovora","threadHeader.forkThreadRequiresGitRepo":"Za forkanje u novo radno stablo potreban je git repozitorij","threadHeader.moreActions":"Radnje za razgovore","threadPage.newThread":"Novi razgovor","threadPage.runAction.changeEnvironment":"Promijeni okruženje","threadPage.runAction.dropdown.titleWithEnvironment":"Radnje {environmentName}","threadPage.runAction.environmentSelector.label":"Odaberite okruženje","threadPage.runAction.label":"Pokreni","threadPage.runAction.missing.label":"Postavi radnju za izvođenje","threadPage.runAction.setup.commandLabel":"Naredi pokretanje","threadPage.runAction.setup.description":"Recite značajci Codex kako instalirati ovisnosti i pokrenuti vašu aplikaciju.","threadPage.runAction.setup.editMore":"Postavke okružja","threadPage.runAction.setup.placeholder":"npr.: npm install npm run","threadPage.runAction.setup.submit":"Spremi i izvedi","threadPage.runAction.setup.title":"Pokreni","threadPage.runAction.tooltip.withEnvironment":"Radnje {environmentName}","threadPage.toggleDiffPanel":"Prebaci ploču diffa","threadPage.toggleTerminal":"Uključi/isključi terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Otvori mapu","toolSummaryForCmd.exploredFiles":"<verb>Navedene</verb> datoteke","toolSummaryForCmd.exploredFilesInPath":"<verb>Navedene</verb> datoteke u {path}","toolSummaryForCmd.exploringFiles":"Datoteke se <verb>navode</verb>","toolSummaryForCmd.exploringFilesInPath":"<verb>Navodim</verb> datoteke u {path}","toolSummaryForCmd.finishedBackgroundTerminal":"Pozadinski terminal dovršen","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"Pozadinski terminal završen s naredbom {command}","toolSummaryForCmd.ranGenericCommand":"<status>Izvršena je naredba</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Izvršeno</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Čitaj</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Naredba se izvršava</status>{timer}","toolSummaryForCmd.runningTimer":"za {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Pretraživan</verb> je upit {query}","toolSummaryForCmd.searchedForFiles":"<verb>Pretraživane</verb> su datoteke","toolSummaryForCmd.searchedForInPath":"<verb>Pretraživan</verb> je upit {query} u {path}","toolSummaryForCmd.searchingFor":"<verb>Pretražujem</verb> upit {query}","toolSummaryForCmd.searchingForFiles":"<verb>Pretražujem</verb> datoteke","toolSummaryForCmd.searchingForInPath":"<verb>Pretražujem</verb> upit {query} u {path}","toolSummaryForCmd.startedBackgroundTerminal":"Pozadinski terminal pokrenut","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"Pozadinski terminal pokrenut s naredbom {command}","traceRecording.details.noteLabel":"Što ste radili kada se to dogodilo? (neobvezno)","traceRecording.details.notePlaceholder":"Otišao/la sam na veliki razgovor, a zatim više puta mijenjao/la kartice…","traceRecording.details.submit":"Pošalji trag","traceRecording.details.subtitle":"Možemo poslati ovaj trag profila kako bismo pomogli u dijagnosticiranju problema s izvedbama.","traceRecording.details.title":"Poslati trag profila?","traceRecording.progress.subtitle":"Neka Codex bude otvoren dok se ovo dovršava.","traceRecording.saving.title":"Spremanje traga…","traceRecording.startDetails.cancel":"Otkaži","traceRecording.startDetails.submit":"U redu, započni snimanje","traceRecording.startDetails.subtitle":"Nakon što kliknete U redu, reproducirajte problem s izvedbama, a zatim kliknite plutajući crveni indikator kako biste zaustavili i pregledali trag.","traceRecording.startDetails.title":"Kako funkcionira snimanje traga","traceRecording.stopButton.ariaLabel":"Zaustavi snimanje traga","traceRecording.upload.successToast":"Trag profila poslan","traceRecording.uploading.title":"Učitavanje traga…","wham.diff.addComment":"Dodaj komentar","wham.diff.binaryFile":"Binarna se datoteka ne prikazuje","wham.diff.noContent":"Bez sadržaja","wham.fileTag.deleted":"Izbrisano","wham.fileTag.new":"Novo","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mj","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} t","wham.formattedRelativeDateTime.compactYearsAgo":"{value} g","wham.message.modal.repoAndDiffStats.linesAdded":"+ {linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"- {linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Vaš se zadatak obrađuje","wham.whamProposedTask.title":"Predloženi zadatak","wham.whamProposedTask.useSuggestion":"Upotrijebi prijedlog","workspaceRootDialog.addError":"Neuspješno dodavanje projekta","workspaceRootDialog.cancel":"Otkaži","workspaceRootDialog.confirmAdd":"Dodaj projekt","workspaceRootDialog.confirmPick":"Upotrijebi projekt","workspaceRootDialog.description":"Upišite putanju na {host} koju želite upotrebljavati kao projekt.","workspaceRootDialog.pathLabel":"Putanja projekta","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Dodajte putanju projekta","workspaceRootDialog.title.pick":"Odaberite putanju projekta","worktreeInitV2.cancel":"Otkaži","worktreeInitV2.notification.failedTitle":"Neuspješno postavljanje radnog stabla","worktreeInitV2.output.empty":"Čekanje na izlaz…","worktreeInitV2.status.error":"Neuspješno postavljanje radnog stabla.","worktreeInitV2.status.running":"Izrađujem radno stablo i pokrećem postavljanje.","worktreeInitV2.status.runningFork":"Izrada radnog stabla za forkanje ovog razgovora.","worktreeInitV2.status.success":"Radno stablo spremno je.","worktreeInitV2.title":"Izrada radnog stabla","worktreeInitV2.workLocallyInstead":"Umjesto toga, radi lokalno","worktreeRestoreBanner.body":"Radno stablo ovog razgovora uklonjeno je radi uštede prostora na disku","worktreeRestoreBanner.missing.body":"Radni direktorij ovog razgovora više ne postoji","worktreeRestoreBanner.missing.title":"Nedostaje trenutačni radni direktorij","worktreeRestoreBanner.restore.error":"Neuspješno vraćanje radnog stabla: {message}","worktreeRestoreBanner.restore.success":"Radno stablo vraćeno","worktreeRestoreBanner.restoreCta":"Vrati radno stablo","worktreeRestoreBanner.title":"Radno stablo očišćeno"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopiraj","app.sidebar.hide":"Sakrij bočnu traku","app.sidebar.show":"Prikaži bočnu traku","app.sidebar.tooltip":"Uključi/isključi bočnu traku","appHeader.installUpdate":"Ažuriraj","appSunset.body":"Ova inačica aplikacije više nije podržana. Preuzmite najnoviju inačicu <here>ovdje</here>.","appSunset.title":"Ažuriranje je potrebno","automation.updateDirective.create":"Stvori","automation.updateDirective.open":"Otvori","automation.updateDirective.untitled":"Automatizacija bez naslova","automation.updateDirective.update":"Ažuriraj","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# pokušaj} few {# pokušaja} other {# pokušaja}}","cloudTaskRow.archiveError":"Neuspješno arhiviranje zadatka","code.diff.requestChange":"Zatraži promjenu","code.diffComment.cancel":"Otkaži","code.diffComment.comment":"Komentiraj","code.diffComment.delete":"Izbriši","code.diffComment.save":"Spremi","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nisu prijavljeni nikakvi nalazi.","codex.alert.closeAriaLabel":"Zatvori","codex.appUpsellBanner.cbpApi.message":"Gradite brže aplikacijom Codex. Preuzmite sada ili {learnMoreLink}.","codex.appUpsellBanner.download":"Preuzmi","codex.appUpsellBanner.freeGo.message":"Codex je obuhvaćen vašim planom do 2. ožujka. Isprobajte aplikaciju Codex za bržu izgradnju.","codex.appUpsellBanner.later":"Poslije","codex.appUpsellBanner.learnMoreLowercase":"saznajte više","codex.appUpsellBanner.new":"Novo","codex.appUpsellBanner.proPlusBusiness.message":"Isprobajte aplikaciju Codex s dva puta većim ograničenjima do 2. travnja. Preuzmite sada ili {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikacija Codex","codex.applyDropdown.header.changes":"Promjene","codex.applyDropdown.header.fileCount":"{count, plural, one {# datoteka} few {# datoteke} other {# datoteka}}","codex.applyDropdown.header.rows":"redci","codex.applyDropdown.header.title":"Primijeni promjene","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {datoteka u konfliktu:} few {{count} datoteke u konfliktu:} other {{count} datoteka u konfliktu:}}","codex.applyDropdown.results.empty":"Nema kopiranih datoteka","codex.applyDropdown.results.skipped":"{count, plural, one {1 preskočena datoteka:} few {{count} preskočene datoteke:} other {{count} preskočenih datoteka:}}","codex.applyOrRevertBanner.apply":"Primijeni","codex.applyOrRevertBanner.applyMessage":"Primijeniti promjene i nastaviti lokalno?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ovaj je zadatak napravljen u okružju {environment}, pa se možda neće ispravno primijeniti.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Promjene napravljene u okružju {environment} možda se neće ispravno primijeniti.","codex.applyOrRevertBanner.reapply":"Ponovno primijeni","codex.applyOrRevertBanner.revert":"Vrati na prethodno","codex.applyOrRevertBanner.revertMessage":"Poništiti primijenjene promjene?","codex.applyResultsDialog.applied":"Čisto primijenjeno ({count})","codex.applyResultsDialog.close":"Zatvori","codex.applyResultsDialog.conflicted":"U konfliktu ({count})","codex.applyResultsDialog.noDetails":"Pojedinosti o datoteci nisu dostupne.","codex.applyResultsDialog.skipped":"Preskočeno ({count})","codex.applyResultsDialog.title":"Primijeni rezultate","codex.archiveInfo":"Prikaži arhivirana čavrljanja u {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Postavke za podatke","codex.archiveInfo.electron":"Prikaži arhivirana čavrljanja u {settingsLink}","codex.archiveInfo.extension":"Prikaži arhivirana čavrljanja u vašoj mapi .codex.","codex.archiveInfo.settingsLink":"Postavke","codex.banner.content.description":"Paralelno izvršava zadatke, prati napredak bilo gdje i pregledava PR-ove umjetnom inteligencijom.","codex.banner.content.headline":"Codex može sve.","codex.cloudTaskRow.archiveTask":"Arhiviraj zadatak","codex.cloudTaskRow.confirmArchiveTask":"Potvrdi","codex.command.feedback":"Povratne informacije","codex.command.findInThread":"Pronađi","codex.command.forceReloadSkills":"Prisilno ponovno učitaj vještine","codex.command.logOut":"Odjava","codex.command.manageTasks":"Upravljaj zadatcima","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Natrag","codex.command.navigateForward":"Naprijed","codex.command.newThread":"Novi razgovor","codex.command.nextThread":"Sljedeći razgovor","codex.command.openFolder":"Otvori mapu","codex.command.openSkills":"Idi na vještine","codex.command.openThreadOverlay":"Otvori razgovor","codex.command.personalitySettings":"Osobnost","codex.command.previousThread":"Prethodni razgovor","codex.command.settings":"Postavke","codex.command.toggleDiffPanel":"Prebaci ploču diffa","codex.command.toggleSidebar":"Uključi/isključi bočnu traku","codex.command.toggleTerminal":"Uključi/isključi terminal","codex.commandGroup.app":"Aplikacija","codex.commandGroup.configure":"Konfiguriraj","codex.commandGroup.navigation":"Navigacija","codex.commandGroup.panels":"Ploče","codex.commandGroup.skills":"Vještine","codex.commandGroup.thread":"Razgovor","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Nema podudaranja","codex.commandMenu.searchPlaceholder":"Pretražite naredbe","codex.commandMenu.suggestedGroup":"Predloženo","codex.commandMenu.switchWorkspace":"Zamijeni projekt","codex.commandMenu.title":"Izbornik naredbi","codex.common.retry":"Pokušaj ponovno","codex.composer.searchBranches":"Pretraži ogranke","codex.dialog.basic.body":"Ovo je jednostavan modalni dijalog koji upotrebljava naš omotač oko stavke Radix Dialog.","codex.dialog.basic.cancel":"Otkaži","codex.dialog.basic.confirm":"Potvrdi","codex.dialog.basic.open":"Otvori dijalog","codex.dialog.basic.title":"Uzorak dijaloga","codex.dialog.long.close":"Zatvori","codex.dialog.long.line":"Pomični redak {index} za prikaz dugog sadržaja unutar dijaloga.","codex.dialog.long.open":"Otvori dugi dijalog","codex.dialog.long.title":"Dijalog s dugim sadržajem","codex.dialog.unstyled.body":"Ova priča prikazuje kako pozivatelji mogu u potpunosti kontrolirati stiliziranje sadržaja dijaloga.","codex.dialog.unstyled.open":"Otvori nestilizirani dijalog","codex.dialog.unstyled.title":"Nestilizirani sadržaj","codex.diff.openInEditorPrompt.openButton":"Otvori u uređivaču","codex.diff.openInEditorPrompt.singleLine":"Ova je datoteka prevelika da bi se prikazala ovdje.","codex.diffView.failedToDecodeBase64Diff":"Neuspješno dešifriranje base64 razlikovnog prikaza","codex.diffView.filesChanged":"{fileCount, plural, one {# promijenjena datoteka} few {# promijenjene datoteke} other {# promijenjenih datoteka}}","codex.diffView.imagePreviewAlt":"Pretpregled slike","codex.diffView.imagePreviewEmpty":"Bez slike","codex.diffView.linesAdded":"+ {linesAdded}","codex.diffView.linesDeleted":"- {linesDeleted}","codex.diffView.noDiffData":"Nema razlikovnih podataka","codex.diffView.pdfPreview.nextPage":"Sljedeća stranica","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Prethodna stranica","codex.diffView.pdfPreviewEmpty":"Nema pretprikaza PDF-a","codex.diffView.pdfPreviewError":"Nije moguće renderirati pretprikaz PDF-a","codex.diffView.richPreviewDisable":"Onemogući prošireni pretprikaz","codex.diffView.richPreviewEnable":"Omogući prošireni pretprikaz","codex.diffView.richPreviewLoading":"Učitavanje pretprikaza…","codex.diffView.richPreviewToggle":"Uključi/isključi prošireni pretprikaz","codex.diffView.switchToUnified":"Prebaci na ujedinjeni prikaz razlika","codex.environmentSelector.noEnvironment":"Bez okružja","codex.environments.environmentSettings":"Postavke okružja","codex.environments.learnMore":"Saznajte više","codex.environments.listError":"Neuspješno učitavanje okružja.","codex.environments.noEnvironmentsFound":"Nema pronađenih okružja","codex.environments.searchError":"Neuspješno pretraživanje okružja.","codex.errorBoundary.genericError":"Došlo je do pogreške","codex.errorBoundary.goHome":"Pokušaj ponovno","codex.file.patch.missing":"Nije moguće napraviti zakrpu za ovu datoteku.","codex.gallery.automations.cwdLabel":"Projekti","codex.gallery.automations.nameLabel":"Naziv","codex.gallery.automations.namePlaceholder":"Sažmi zadatak","codex.gallery.automations.promptLabel":"Odzivnik","codex.gallery.automations.promptPlaceholder":"Opiši što bi Codex trebao učiniti","codex.gallery.dialogs.automation.label":"Dijalog automatizacije","codex.gallery.dialogs.basic.body":"Upotrijebi ovaj raspored za jednostavne potvrde ili kratke obrasce.","codex.gallery.dialogs.basic.cancel":"Otkaži","codex.gallery.dialogs.basic.confirm":"Potvrdi","codex.gallery.dialogs.basic.label":"Osnovni dijalog","codex.gallery.dialogs.basic.title":"Uzorak dijaloga","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Opišite problem","codex.gallery.dialogs.feedbackSubmission.bad":"Loš rezultat","codex.gallery.dialogs.feedbackSubmission.bug":"Pogreška","codex.gallery.dialogs.feedbackSubmission.good":"Dobar rezultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Obuhvati trenutačne zapise sesije Codexa","codex.gallery.dialogs.feedbackSubmission.label":"Slanje povratnih informacija","codex.gallery.dialogs.feedbackSubmission.other":"Drugo","codex.gallery.dialogs.feedbackSubmission.placeholder":"Ovdje opišite problem","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"Sigurnosna provjera","codex.gallery.dialogs.feedbackSubmission.submit":"Pošalji","codex.gallery.dialogs.feedbackSubmission.title":"Povratne informacije","codex.gallery.dialogs.feedbackSuccess.body":"Povratne informacije učitane su. Ako problem i dalje postoji, otvorite problem GitHub ili spomenite ID teme u postojećem otvorenom problemu:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Odbaci","codex.gallery.dialogs.feedbackSuccess.label":"Povratne informacije uspješne","codex.gallery.dialogs.feedbackSuccess.title":"Povratne informacije učitane","codex.gallery.dialogs.gitApplyResults.applied":"Čisto primijenjeno (2)","codex.gallery.dialogs.gitApplyResults.close":"Zatvori","codex.gallery.dialogs.gitApplyResults.conflicted":"U konfliktu (1)","codex.gallery.dialogs.gitApplyResults.label":"Primijeni rezultate","codex.gallery.dialogs.gitApplyResults.title":"Primijeni rezultate","codex.gallery.dialogs.gitPushError.body":"Preuzmite najnovije promjene ili prisilno pošaljite ako znate da je sigurno prebrisati daljinsku povijest.","codex.gallery.dialogs.gitPushError.cancel":"Otkaži","codex.gallery.dialogs.gitPushError.force":"Prisilno pošalji","codex.gallery.dialogs.gitPushError.label":"Pogreška slanja","codex.gallery.dialogs.gitPushError.subtitle":"Vaša grana se nalazi iza izvorne/glavne.","codex.gallery.dialogs.gitPushError.title":"Neuspješno slanje promjena","codex.gallery.dialogs.gitRevert.cancel":"Otkaži","codex.gallery.dialogs.gitRevert.confirm":"Vrati na prethodno","codex.gallery.dialogs.gitRevert.label":"Vrati promjene na prethodno","codex.gallery.dialogs.gitRevert.skip":"Ne pitaj ponovno","codex.gallery.dialogs.gitRevert.subtitle":"Ova radnja uklanja sve te promjene.","codex.gallery.dialogs.gitRevert.title":"Vratiti promjene na prethodno?","codex.gallery.dialogs.longForm.label":"Dugačak oblik dijaloga","codex.gallery.dialogs.proseModal.body":"Ovaj modalni stil upotrebljava se za duže upute, uvođenje ili blokove bogatog sadržaja.","codex.gallery.dialogs.proseModal.close":"Zatvori","codex.gallery.dialogs.proseModal.subtitle":"Ovdje podijelite dulji oblik uputa ili dokumentaciju.","codex.gallery.dialogs.proseModal.title":"Prozni modal","codex.gallery.dialogs.submitBlocked.label":"Slanje blokirano","codex.gallery.dialogs.submitBlocked.message":"Vaša poruka nije mogla biti poslana jer projekt nije dostupan.","codex.gallery.dialogs.submitBlocked.ok":"U redu","codex.gallery.dialogs.submitBlocked.title":"Nije moguće poslati poruku","codex.gallery.dialogs.title":"Dijalozi","codex.gallery.dropdown.filterPlaceholder":"Filtriraj stavke","codex.gallery.dropdowns.actionRow":"Redci radnji","codex.gallery.dropdowns.actionRow.disabled":"Onemogućena radnja","codex.gallery.dropdowns.actionRow.primary":"Primarna radnja","codex.gallery.dropdowns.actionRow.secondary":"Sekundarna radnja","codex.gallery.dropdowns.actionRow.trigger":"Prikaži radnje","codex.gallery.dropdowns.basic":"Osnovna padajuća stavka","codex.gallery.dropdowns.basic.newFile":"Nova datoteka","codex.gallery.dropdowns.basic.newFolder":"Nova mapa","codex.gallery.dropdowns.basic.openSettings":"Otvori postavke","codex.gallery.dropdowns.basic.title":"Brze radnje","codex.gallery.dropdowns.basic.trigger":"Otvori izbornik","codex.gallery.dropdowns.basic.upload":"Prijenos","codex.gallery.dropdowns.panel":"Površina ploče","codex.gallery.dropdowns.panel.apply":"Primijeni","codex.gallery.dropdowns.panel.body":"Pregledajte diffove i primijenite ih na svoj projekt.","codex.gallery.dropdowns.panel.preview":"Pretpregled","codex.gallery.dropdowns.panel.title":"Primijeni promjene","codex.gallery.dropdowns.panel.trigger":"Otvori ploču","codex.gallery.dropdowns.search":"Padajuća stavka koja se može pretražiti","codex.gallery.dropdowns.search.first":"Kanal Alpha","codex.gallery.dropdowns.search.second":"Ogranak Beta","codex.gallery.dropdowns.search.third":"Otpusti kandidata","codex.gallery.dropdowns.search.trigger":"Filtriraj stavke","codex.gallery.dropdowns.submenu":"Padajuća stavka s podizbornikom","codex.gallery.dropdowns.submenu.optionA":"Projekt alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Dodijeli vlasnika","codex.gallery.dropdowns.submenu.secondary":"Premjesti na","codex.gallery.dropdowns.submenu.tertiary":"Arhiviraj","codex.gallery.dropdowns.submenu.trigger":"Odaberi radnju","codex.gallery.dropdowns.title":"Padajuće stavke","codex.gallery.inbox.automations.close":"Zatvori","codex.gallery.inbox.automations.popover.cardTitle":"Upravljanje automatizacijama","codex.gallery.inbox.automations.popover.dialogTitle":"Upravljanje automatizacijama","codex.header.settingsTooltip":"Postavke","codex.hunk.patch.error":"Neuspješna priprema","codex.hunk.patch.missing":"Nije moguće napraviti zakrpu za ovaj blok.","codex.hunk.patch.partialSuccess":"Djelomično uspješno.","codex.hunk.patch.revertError":"Neuspješno poništavanje pripreme","codex.hunk.patch.revertSuccess":"Poništavanje pripreme uspješno","codex.hunk.patch.success":"Priprema uspješna","codex.legal.autonomy.details":"Za više pojedinosti pročitajte {link}","codex.legal.autonomy.details.link":"Dokumenti Codexa","codex.legal.autonomy.title":"Odlučite razinu autonomije koju želite dati","codex.legal.backButton":"Natrag","codex.legal.cloud.taskOne.meta":"openai/agi · 12. listopada","codex.legal.cloud.taskOne.title":"Objasni repozitorij novom dizajneru","codex.legal.cloud.taskThree.meta":"openai/codex · 8. listopada","codex.legal.cloud.taskThree.stats.negative":"- 123","codex.legal.cloud.taskThree.stats.positive":"+ 249","codex.legal.cloud.taskThree.title":"Izradi temu tamnog načina rada","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. listopada","codex.legal.cloud.taskTwo.stats.negative":"- 20","codex.legal.cloud.taskTwo.stats.positive":"+ 2","codex.legal.cloud.taskTwo.title":"Popravi pogrešku uvođenja","codex.legal.continue.apikey":"Nastavi","codex.legal.continueButton":"Dalje","codex.legal.copilot.details":"Upotrebljava vaš plan za Copilot za sve pozive modela, naplatu i ograničenja učestalosti. Uporaba proširenja Codex podliježe: {oaiTos} i {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Odredbe usluge GitHub","codex.legal.copilot.oaiTosLink":"Odredbe usluge OpenAI Codex","codex.legal.copilot.title":"Pokreće GitHub Copilot","codex.legal.mistakes.review":"Pregledavajte kod koji piše i naredbe koje izvršava","codex.legal.mistakes.title":"Codex može pogriješiti","codex.legal.powered.details":"Upotrebljava ograničenja učestalosti vašeg plana i {link}","codex.legal.powered.details.link":"preferencije podataka za obuku","codex.legal.powered.title":"Pokreće vaš račun za ChatGPT","codex.legal.step.cloud.subtitle":"Pošaljite Codexu zadatke koji će se izvršavati u pozadini da biste zadržali fokus na onome što radite i brže napredovali.","codex.legal.step.cloud.title":"Predajte Codexu u oblaku","codex.legal.step.intro.subtitle":"Codex pristupa, uređuje, izvršava naredbe i provodi testiranja izravno u vašem repozitoriju. Pokreće ga vaš račun za ChatGPT.","codex.legal.step.intro.title":"Codex u vašem integriranom razvojnom okružju","codex.legal.step.todo.subtitle":"Napišite komentar TODO i jednim ga klikom pretvorite u zadatak za Codex.","codex.legal.step.todo.title":"Pretvorite stavke TODO u zadatke za Codex","codex.legal.todo.heading":"// TODO: primijeni shemu","codex.localConversation.closeImagePreview":"Zatvori pretprikaz slike","codex.localConversation.userImageAttachment":"Privitak korisnika","codex.localTaskRow.archiveTask":"Arhiviraj nit","codex.localTaskRow.awaitingApproval":"Čeka odobrenje","codex.localTaskRow.awaitingResponse":"Čekanje na odgovor","codex.localTaskRow.confirmArchiveTask":"Potvrdi","codex.loggedOut.apiKeyPrompt.cancel":"Otkaži","codex.loggedOut.apiKeyPrompt.confirm":"U redu","codex.loggedOut.apiKeyPrompt.getKey":"Zatražite ključ za API","codex.loggedOut.apiKeyPrompt.inputLabel":"Upišite svoj OpenAI ključ za API","codex.loggedOut.apiKeyPrompt.placeholder":"sk-…","codex.loggedOut.cloudTasksDisabledWithApiKey":"Zadaci u oblaku onemogućeni su ključem za API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Zadaci u oblaku onemogućeni su s pomoću Copilota i ključa za API","codex.loggedOut.signIn":"Prijavite se vjerodajnicama za ChatGPT","codex.loggedOut.signIn.cancel":"Otkaži prijavu","codex.loggedOut.signInWithCopilot":"Prijavite se vjerodajnicama za GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Upotrijebi ključ za API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} alat","codex.mcpTool.collapsedLabel.verb.called":"Pozvano","codex.mcpTool.collapsedLabel.verb.calling":"Pozivam","codex.mcpTool.embeddedResource.contentLabel":"Sadržaj","codex.mcpTool.embeddedResource.mimeTypeLabel":"Vrsta MIME-a","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Alat je vraćen, nema sadržaja","codex.mcpTool.rawPayloadHeading":"Sirovi {server}. Podatci poziva alata {tool}","codex.menu.recent":"Nedavno","codex.menu.seeAllHistory":"Prikaži svu povijest","codex.modelCapacityBanner.headline.noReset":"{modelName} trenutačno je pri kapacitetu. Ponovno pokušajte kasnije ili započnite novi razgovor s drugim modelom.","codex.modelCapacityBanner.headline.withReset":"{modelName} trenutačno je pri kapacitetu. Ponovno pokušajte nakon {resetDate} ili započnite novi razgovor s drugim modelom.","codex.modelCapacityBanner.title":"Odabrani je model pri kapacitetu","codex.patch.change.contentsDeleted":"Sadržaji su izbrisani","codex.patch.change.created":"Stvoreno","codex.patch.change.created-file":"Izrađena datoteka","codex.patch.change.creating":"Stvara se","codex.patch.change.deleted":"Izbrisano","codex.patch.change.deleted-file":"Izbrisana datoteka","codex.patch.change.deleting":"Brisanje","codex.patch.change.edited":"Uređeno","codex.patch.change.edited-file":"Uređena datoteka","codex.patch.change.editing":"Uređivanje","codex.patch.change.noChanges":"Bez promjena","codex.patch.change.rejected-add":"Odbijeno","codex.patch.change.rejected-delete":"Odbijeno","codex.patch.change.rejected-edit":"Odbijeno","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Dovršeni zadaci: {completed} od {total}","codex.plan.todoListCreated":"Stvoren je popis obveza s {total} zadataka","codex.profileDropdown.apiKeyAuth":"Prijavljen ključem za API","codex.profileDropdown.codexSettings":"Postavke za Codex","codex.profileDropdown.copilotAuth":"Prijavljen vjerodajnicama Copilota","codex.profileDropdown.defaultAccountTitle":"Zadani račun","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter za slanje dugih odzivnika","codex.profileDropdown.enterBehaviorError":"Neuspješno ažuriranje postavke","codex.profileDropdown.getPlus":"Nadogradite za veća ograničenja","codex.profileDropdown.keyboardShortcuts":"Tipkovni prečaci","codex.profileDropdown.language":"Jezik","codex.profileDropdown.languageDefault":"Automatsko otkrivanje","codex.profileDropdown.languageSearchPlaceholder":"Pretražite jezike","codex.profileDropdown.languageUpdateError":"Neuspješno ažuriranje jezika","codex.profileDropdown.logOut":"Odjavi se","codex.profileDropdown.mcp":"Postavke MCP-a","codex.profileDropdown.openConfigToml":"Otvori config.toml","codex.profileDropdown.openConfigToml.wsl":"Otvori config.toml u okružju WSL","codex.profileDropdown.openExtensionSettings":"Otvori postavke","codex.profileDropdown.openMcpSettings":"Otvori postavke MCP-a","codex.profileDropdown.openOnStartup":"Otvori prilikom pokretanja","codex.profileDropdown.openOnStartupError":"Neuspješno ažuriranje postavke","codex.profileDropdown.openSkillsSettings":"Otvori postavke vještina","codex.profileDropdown.personalAccountTitle":"Osobni račun","codex.profileDropdown.queueFollowUps":"Stavi praćenja u red čekanja","codex.profileDropdown.queueFollowUpsError":"Neuspješno ažuriranje postavke","codex.profileDropdown.readDocs":"Pročitaj dokumente","codex.profileDropdown.readSkillsDocs":"Pročitaj dokumente","codex.profileDropdown.runInWsl":"Pokreni u WSL-u","codex.profileDropdown.runInWslError":"Neuspješno ažuriranje postavke","codex.profileDropdown.runInWslTooltip":"Pokreće Codex unutar WSL-a. Preporučuje se za poboljšanu sigurnost pješčanika i bolju izvedbu.","codex.profileDropdown.settings":"Postavke integriranog razvojnog okružja","codex.profileDropdown.settingsPage":"Postavke","codex.profileDropdown.signInWithOpenAI":"Prijavite se vjerodajnicama za ChatGPT","codex.profileDropdown.skills":"Postavke vještina","codex.profileDropdown.switchToCopilotAccount":"Upotrijebi račun za Copilot","codex.profileDropdown.switchToOpenAIAccount":"Upotrijebi račun za OpenAI","codex.profileDropdown.todoCodelens":"Popravi komentare TODO","codex.profileDropdown.todoCodelensError":"Neuspješno ažuriranje postavke","codex.profileDropdown.windowsDocumentation":"Dokumenti za Windows","codex.profileFooter.signedInFallback":"Postavke","codex.profileFooter.upgrade":"Nadogradi","codex.recentTasksMenu.clearSearch":"Očisti pretraživanje","codex.recentTasksMenu.cloud":"Zadaci u oblaku","codex.recentTasksMenu.count":"{count, plural, =0 {Nema zadataka u tijeku} one {# zadatak u tijeku} few {# zadatka u tijeku} other {# zadatka u tijeku}}","codex.recentTasksMenu.empty":"Još nema razgovora","codex.recentTasksMenu.errorCloud":"Neuspješno učitavanje zadataka.","codex.recentTasksMenu.errorCloud.inline":"Neuspješno učitavanje zadataka u oblaku.","codex.recentTasksMenu.filterAll":"Sve","codex.recentTasksMenu.filterCloudTasks":"Filtriranje zadataka u oblaku","codex.recentTasksMenu.filterTooltip":"Filtriraj zadatke prema okružju","codex.recentTasksMenu.local":"Lokalni zadaci","codex.recentTasksMenu.recent":"Svi zadaci","codex.recentTasksMenu.search":"Pretraži nedavne zadatke","codex.recentTasksMenu.searchEmpty":"Nema rezultata","codex.recentTasksMenu.tooltip":"Povijest zadatka","codex.recentTasksMenu.trigger":"Nedavni zadatci. {count, plural, one {# u tijeku} few {# u tijeku} other {# u tijeku}}","codex.remoteConversation.applyDiff.applyCta":"Primijeni promjene","codex.remoteConversation.applyDiff.dropdownTitle":"Primijeni promjene na lokalni ogranak","codex.remoteConversation.applyDiff.revertCta":"Vrati promjene na prethodno","codex.remoteConversation.closeImagePreview":"Zatvori pretprikaz slike","codex.remoteConversation.codexCloudTask":"Gledate zadatak <u>Codex Cloud</u>","codex.remoteConversation.errorWithMessage":"Pogreška: {message}","codex.remoteConversation.loadingImage":"Učitavanje slike","codex.remoteConversation.openInWeb":"Otvori na mreži","codex.remoteConversation.streaming":"Početak rada","codex.remoteConversation.turnFailed":"Došlo je do pogreške tijekom ovog zadatka","codex.remoteConversation.turnTab.loading":"Pokušaj {number}","codex.remoteConversation.turnTab.title":"Pokušaj {number}","codex.remoteConversation.userImageAttachment":"Privitak korisnika","codex.remoteConversation.viewPreviousTurns":"Otvori na mreži","codex.remoteConversation.viewPreviousTurns.buttonText":"Otvori","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Otvori na mreži","codex.review.copyGitApplyCommand":"Kopiraj naredbu git apply","codex.review.copyGitApplyCommand.toast":"U međuspremnik kopirana je naredba git apply","codex.review.diffTooLarge.description":"Diff je prevelik da bi se prikazao u pregledu.","codex.review.diffTooLarge.title":"Diff je prevelik da bi se prikazao","codex.review.expandOrCollapseDiffButton.collapse":"Skupi sve diffove","codex.review.expandOrCollapseDiffButton.expand":"Proširi sve diffove","codex.review.expandOrCollapseDiffMenu.collapse":"Skupi sve diffove","codex.review.expandOrCollapseDiffMenu.expand":"Proširi sve diffove","codex.review.fileSearch.clear":"Očisti filtar datoteka","codex.review.fileSearch.empty":"Nijedna datoteka ne odgovara trenutačnom filtru.","codex.review.fileSearch.label":"Filtriraj datoteke","codex.review.fileSearch.placeholder":"Filtriranje datoteka…","codex.review.filesChanged":"{num, plural, =0 {Nema promijenjenih datoteka} one {# promijenjena datoteka} few {# promijenjene datoteke} other {# promijenjenih datoteka}}","codex.review.find.loadMore":"Učitaj više podudaranja","codex.review.fullReview.hideFileTree":"Sakrij stablo datoteka","codex.review.fullReview.showFileTree":"Prikaži stablo datoteka","codex.review.header.moreOptions":"Mogućnosti pregleda","codex.review.largeDiff.banner":"Otkriven je veliki diff – prikazuje se jedna datoteka istodobno.","codex.review.loadFullFiles.disable":"Nemoj učitati pune datoteke","codex.review.loadFullFiles.enable":"Učitaj pune datoteke","codex.review.noDiff":"Promjene datoteke pojavit će se ovdje","codex.review.noDiff.gitInit.createRepository":"Izradi repozitorij git","codex.review.noDiff.gitInit.creating":"Izrađujem…","codex.review.noDiff.gitInit.error":"Git init neuspješan: {message}","codex.review.noDiff.gitInit.success":"Izrađen repozitorij git","codex.review.noDiff.gitRepoRequired.description":"Praćenje i poništavanje promjena u ovom projektu","codex.review.noDiff.gitRepoRequired.title":"Izradi repozitorij Git","codex.review.noDiff.orNoLongerAvailable":"ili nedavni diffovi više nisu dostupni","codex.review.noDiff.reverted":"Posljednji potez vraćen je","codex.review.noDiff.revertedOrCommitted":"Posljednji potez vraćen je ili spremljen (committed)","codex.review.refreshGitQueries":"Osvježi","codex.review.revert.file.error":"Neuspješno vraćanje {path}","codex.review.revert.file.partialSuccess":"Djelomično vraćeno {path}","codex.review.revert.file.success":"Vraćeno {path}","codex.review.revert.hunk.error":"Neuspješno vraćanje bloka na prethodno {hunkNumber} u {path}","codex.review.revert.hunk.partialSuccess":"Djelomično vraćanje bloka na prethodno {hunkNumber} u {path}","codex.review.revert.hunk.success":"Blok vraćen na prethodno {hunkNumber} u {path}","codex.review.revert.section.error":"Neuspješno vraćanje odjeljka na prethodno","codex.review.revert.section.partialSuccess":"Djelomično vraćanje odjeljka","codex.review.revert.section.success":"Odjeljak vraćen","codex.review.revertDialog.cancel":"Otkaži","codex.review.revertDialog.confirm":"Potvrdi","codex.review.revertDialog.message":"Ova radnja uklanja sve te promjene.","codex.review.revertDialog.skip":"Ne pitaj ponovno","codex.review.revertDialog.title":"Vratiti promjene na prethodno?","codex.review.richPreview.disable":"Onemogući prošireni pretprikaz","codex.review.richPreview.enable":"Omogući prošireni pretprikaz","codex.review.source.cloud":"Promjene oblaka","codex.review.source.local.all":"Sve promjene ogranka","codex.review.source.local.lastTurn":"Posljednje promjene poteza","codex.review.source.local.uncommitted":"Nespremljene promjene","codex.review.source.worktree":"Promjene radnog stabla (uncommitted)","codex.review.stageFilter.empty.staged.description":"Prihvatite uređivanja za njihovu pripremu","codex.review.stageFilter.empty.staged.title":"Nema pripremljenih promjena","codex.review.stageFilter.empty.unstaged.description":"Promjene kôda pojavit će se ovdje","codex.review.stageFilter.empty.unstaged.title":"Nema nepripremljenih promjena","codex.review.stageFilter.staged":"Pripremljeno","codex.review.stageFilter.staged.count":"Pripremljeno · {count}","codex.review.stageFilter.unstaged":"Nepripremljeno","codex.review.stageFilter.unstaged.count":"Nepripremljeno · {count}","codex.review.switchToSplit":"Prebaci na podijeljeni diff","codex.review.switchToUnified":"Prebaci na ujedinjeni prikaz razlika","codex.review.toggleDiffView":"Prebaci prikaza diffa","codex.review.wordDiffs.disable":"Onemogući diffove riječi","codex.review.wordDiffs.enable":"Omogući diffove riječi","codex.review.wrap.disable":"Onemogući prelom riječi","codex.review.wrap.enable":"Omogući prelom riječi","codex.section.patch.missing":"Nije moguće napraviti zakrpu za ovaj odjeljak.","codex.shell.collapse":"Sažmi blok izlaza iz ljuske","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kopirani su sadržaji ljuske","codex.shell.copy.copyTooltip":"Kopiraj sadržaje ljuske","codex.shell.copyCommand":"Kopiraj naredbu","codex.shell.copyOutput":"Kopiraj izlaz","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Proširi blok izlaza iz ljuske","codex.shell.name":"Ljuska","codex.shell.noOutput":"Nema izlaza","codex.signInFailed.message":"Neuspješna prijava: {rawMessage}","codex.stories.toast.show":"Prikaži skočnu poruku","codex.stories.tooltip.basic":"Ovo je opis alata","codex.stories.tooltip.hoverMe":"Pređi pokazivačem preko mene","codex.stories.tooltip.largerOffset":"Ovaj opis alata ima veći pomak","codex.stories.tooltip.offsetButton":"Veći pomak","codex.stories.tooltip.shortcutButton":"Uz prečac","codex.stories.tooltip.withShortcut":"Uključi/isključi terminal","codex.taskRow.title":"Novi razgovor","codex.taskRowLayout.confirm":"Potvrdi","codex.threadFindBar.chatFilter":"Pretraži čavrljanje","codex.threadFindBar.close":"Zatvori nalaz","codex.threadFindBar.diffFilter":"Pretraži diffove","codex.threadFindBar.label":"Pronađi u razgovoru","codex.threadFindBar.nextResult":"Sljedeći rezultat","codex.threadFindBar.noResults":"0 rezultata","codex.threadFindBar.placeholder":"Pretraži razgovor…","codex.threadFindBar.placeholder.extension":"Pretraži razgovor…","codex.threadFindBar.placeholder.review":"Pretraži diffove…","codex.threadFindBar.placeholder.review.extension":"Pretraži diffove…","codex.threadFindBar.previousResult":"Prethodni rezultat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# promijenjena datoteka} few {# promijenjene datoteke} other {# promijenjenih datoteka}}","codex.unifiedDiff.inlineLargeFile":"Preveliko za renderiranje u tekstu","codex.unifiedDiff.linesAdded":"+ {linesAdded}","codex.unifiedDiff.linesDeleted":"- {linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Poništi","codex.unifiedDiff.revertPatchError":"Neuspješno poništavanje promjena","codex.unifiedDiff.revertPatchSuccess":"Promjene su poništene","codex.unifiedDiff.reviewChangesSuffix":"promjene","codex.unifiedDiff.reviewShort":"Pregled","codex.unifiedDiff.viewDiffTooltip":"Pregled","codex.upsellBanner.business.headline":"Da biste odmah dobili veći pristup, pošaljite zahtjev svom administratoru ili pričekajte do {resetDate}.","codex.upsellBanner.cbp.headline":"Da biste odmah dobili veći pristup, pošaljite zahtjev svom administratoru.","codex.upsellBanner.cta.addCredits":"Dodaj kredite","codex.upsellBanner.cta.upgradeAccount":"Nadogradi","codex.upsellBanner.cta.viewUsage":"Prikaži uporabu","codex.upsellBanner.free.trialHeadline":"Vaše ograničenje ponovno se postavlja {resetDate}. Kako biste nastavili upotrebljavati Codex i ostvarili pristupa za GPT-5.3-Codex, započnite besplatno probno razdoblje plana Plus već danas.","codex.upsellBanner.freeOrGo.headline":"Ograničenje se ponovno postavlja {resetDate}. Kako biste nastavili upotrebljavati Codex, nadogradite na Plus već danas.","codex.upsellBanner.general.headline":"Ograničenje se ponovno postavlja {resetDate}.","codex.upsellBanner.general.title":"Više nemate poruka Codex","codex.upsellBanner.go.trialHeadline":"Vaše ograničenje ponovno se postavlja {resetDate}. Kako biste nastavili upotrebljavati Codex, započnite besplatno probno razdoblje plana Plus već danas.","codex.upsellBanner.plus.headline":"Ograničenje se ponovno postavlja {resetDate}. Kako biste nastavili upotrebljavati Codex, dodajte kredite ili nadogradite na Pro već danas.","codex.upsellBanner.pro.headline":"Ograničenje se ponovno postavlja {resetDate}. Dodajte kredite kako biste nastavili upotrebljavati Codex.","codex.userMessage.autoResolveSync":"Automatski riješi sukobe","codex.userMessage.commentCount":"{count, plural, one {# komentar} few {# komentara} other {# komentara}}","codex.userMessage.copiedAriaLabel":"Kopirano","codex.userMessage.copiedTooltip":"Kopirano","codex.userMessage.copyAriaLabel":"Kopiraj poruku","codex.userMessage.copyTooltip":"Kopiraj","codex.userMessage.implementPlan":"Implementiraj plan","codex.userMessage.noContent":"(Nema sadržaja)","codex.userMessage.priorConversation":"Pozivanja na prethodni razgovor","codex.userMessage.reviewMode":"Način rada za pregled","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"za {query}","codex.webSearch.summary.verb.completed":"Pretražena je mreža","codex.webSearch.summary.verb.inProgress":"Pretražujem mrežu","codex.windowsInstallWslBanner.dismiss":"Odbaci","codex.windowsInstallWslBanner.installWslCta":"Omogući pješčanik (sandbox)","codex.windowsInstallWslBanner.learnMore":"Doznajte više","codex.windowsSandboxBanner.content":"Način rada agenta upotrebljava se za eksperimentalni pješčanik u sustavu Windows za ograničavanje pristupa sustavu datoteka i mreži. {sandboxLink}","codex.windowsSandboxBanner.title":"Omogući pješčanik za način rada agenta","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Postavke Windowsa","codexUpgradeModal.body":"Naš najnoviji model agentskog kôdiranja – pametniji, brži i sposobniji za opći tehnički rad. {link}","codexUpgradeModal.close":"Zatvori","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Doznajte više","codexUpgradeModal.title":"Predstavljamo GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Isprobajte GPT-5.3-Codex sada","codexUpgradeModal.useExistingModel":"Nastavi s trenutačnim modelom","commentAttachments.numComments":"{count, plural, one {# komentar} few {# komentara} other {# komentara}}","commentAttachments.removeAriaLabel":"Ukloni privitak s komentarima","common.close":"Zatvori","composer.addContext.openFilePickerError":"Nije moguće otvoriti birač datoteka","composer.addContextDropdown.ariaLabel":"Dodajte datoteke i još mnogo toga","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Dodajte datoteke i još mnogo toga","composer.addPhotosAndFiles":"Dodaj fotografije i datoteke","composer.atMentionList.emptyQuery":"Upišite za pretraživanje datoteka","composer.atMentionList.loading":"Pretraživanje datoteka…","composer.atMentionList.noResults":"Nema rezultata","composer.attemptsSelector.option":"{count, plural, one {# inačica} few {# inačice} other {# inačica}}","composer.attemptsSelector.tooltip":"Broj paralelnih pokušaja za Codex","composer.attemptsSelector.trigger":"{count} x","composer.backgroundTerminals.runningLabel":"Izvršava se: {count, plural, one {# terminal} few {# terminala} other {# terminala}}","composer.backgroundTerminals.stop":"Zaustavi","composer.cleanBackgroundTerminals.error":"Nije moguće zaustaviti pozadinske terminale.","composer.cloudFollowUp.cloud":"Oblak","composer.cloudFollowUp.local":"Lokalno","composer.cloudFollowUp.whereRun":"Gdje bi se ovo trebalo pokrenuti?","composer.cloudTaskCreationError":"Pogreška pri stvaranja zadatka u oblaku","composer.cloudTaskError":"Pogreška pri stvaranju zadatka","composer.contextWindow.autoCompactionTooltipLine1":"Codex automatski sažima svoj kontekst","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Prozor konteksta:","composer.contextWindowUsageStatusFull":"{usage} % popunjen","composer.contextWindowUsageStatusLeft":"{usage} % upotrebljeno ({remaining} % preostalo)","composer.contextWindowUsageTooltip":"{usedTokens}k/{contextWindow}k upotrebljenih tokena","composer.customCliTooltip":"Uporaba prilagođene izvršne stavke CLI","composer.dictation.aria":"Diktiraj","composer.dictation.cancel.aria":"Prekini diktiranje","composer.dictation.cancel.tooltip":"Prekini diktiranje","composer.dictation.startError":"Nije moguće započeti diktiranje","composer.dictation.submit.aria":"Transkribiraj i pošalji","composer.dictation.submit.tooltip":"Transkribiraj i pošalji","composer.dictation.tooltip":"Držite za diktiranje","composer.dictation.transcribeError":"Nije moguće transkribirati audiozapis","composer.dictation.unsupported":"Diktiranje nije dostupno na ovom uređaju","composer.dropOverlay.holdShift":"Držite {key} za ispuštanje","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Izradi novo","composer.environmentSelector.error":"Pogreška pri učitavanju okruženja","composer.environmentSelector.goBack":"Natrag u sastavljač","composer.environmentSelector.title":"Odaberite okruženje","composer.environmentSelector.tooltip":"Odaberite okruženje u oblaku","composer.feedbackSlashCommand.title":"Povratne informacije","composer.filePicker.selectFile":"Odaberi datoteku","composer.filePicker.selectFiles":"Odaberi datoteke","composer.followerTooltip":"Za nastavak se vratite na prozor u kojem je ovaj razgovor započeo.","composer.footer.branchSwitch.checkoutError":"Neuspješna promjena ogranka: {message}","composer.footer.branchSwitch.createAndCheckout":"Izradi i provjeri novi ogranak…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Potvrdite (commit) promjene za izradu i preuzimanje novog ogranka","composer.footer.branchSwitch.createBranchError":"Neuspješna izrada ogranka: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Naziv ogranka","composer.footer.branchSwitch.createDialog.branchExistsError":"Ogranak već postoji.","composer.footer.branchSwitch.createDialog.close":"Zatvori","composer.footer.branchSwitch.createDialog.createAndCheckout":"Izradi i provjeri","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Izradi i provjeri ogranak","composer.footer.branchSwitch.createDialog.trailingSlashError":"Naziv ogranka ne može završavati s „/”.","composer.footer.branchSwitch.tooltip":"Promijeni ogranak","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Napravite commit promjena u {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}} radi provjere {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"promjena u {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}} radi provjere {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Otkaži","composer.footer.branchSwitch.uncommittedDialog.commit":"Napravi commit i promijeni ogranak…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Vaše promjene u sljedećim datotekama bit će prepisane prilikom odjave:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Napravite commit svojih promjena kako biste nastavili","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"odabrani ogranak","composer.footer.branchSwitch.uncommittedDialog.title":"Napravite commit promjena kako biste promijenili ogranak","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Uncommited: {fileCount, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","composer.forkSlashCommand.description":"Forkaj ovaj razgovor u lokalno ili novo radno stablo","composer.forkSlashCommand.option.local.description":"Nastavi u novom lokalnom razgovoru","composer.forkSlashCommand.option.local.title":"Forkaj u lokalno","composer.forkSlashCommand.option.worktree.description":"Nastavi u novom radnom stablu","composer.forkSlashCommand.option.worktree.title":"Forkaj u novo radno stablo","composer.forkSlashCommand.title":"Forkiranje","composer.ideContextIndicator":"Kontekst IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Uključite kontekst iz IDE-a, kao što su stanje odabira {br} i otvorene datoteke.","composer.ideContextIndicator.tooltipToggle":"za uključivanje/isključivanje","composer.ideContextSlashCommand.disableDescription":"Isključite kontekst IDE","composer.ideContextSlashCommand.enableDescription":"Obuhvatite trenutačni odabir, otvorene datoteke i drugi kontekst iz vašeg IDE-a","composer.ideContextSlashCommand.title":"Kontekst IDE","composer.imageInputsUnsupported":"Ovaj model ne podržava slikovne upise. Isprobajte drugi model.","composer.imageUploadFailed":"Neuspješno učitavanje slike","composer.includeIdeContextDropdown":"Obuhvati kontekst IDE","composer.includeIdeContextDropdown.ariaLabel":"Obuhvati kontekst IDE","composer.localCwdDropdown.addWorkspaceRoot":"Dodaj novi projekt","composer.localCwdDropdown.noActiveRoot":"Odaberite svoj projekt","composer.localCwdDropdown.noResults":"Nema pronađenih mapa","composer.localCwdDropdown.title":"Odaberite svoj projekt","composer.localTaskError":"Pogreška prilikom pokretanja razgovora","composer.mcpSlashCommand.description":"Prikaži stanje poslužitelja MCP-a","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nije provjerena autentičnost","composer.mcpStatus.authOauth":"Autentičnost provjerena (OAuth)","composer.mcpStatus.authToken":"Autentičnost provjerena (ključ za API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zatvori","composer.mcpStatus.disabled":"Onemogućeno","composer.mcpStatus.emptyLabel":"Poslužitelji:","composer.mcpStatus.emptyValue":"Nijedan poslužitelj MCP-a nije konfiguriran","composer.mcpStatus.enabled":"Omogućeno","composer.mcpStatus.errorLabel":"Stanje:","composer.mcpStatus.errorValue":"Nije moguće učitati stanje MCP-a","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Prebacite na drugi način rada","composer.mode.agentMode.custom":"Prilagođeno","composer.mode.agentMode.custom.dropdownLabel":"Prilagođeno","composer.mode.agentMode.custom.option":"Prilagođeno (config.toml)","composer.mode.agentMode.custom.optionLabel":"Prilagođeno (config.toml)","composer.mode.agentMode.customInfo.cancel":"Otkaži","composer.mode.agentMode.customInfo.cli":"Te postavke možete prilagoditi iz CLI-ja ili izravnim uređivanjem datoteke.","composer.mode.agentMode.customInfo.confirm":"Uporabi prilagođeni način rada","composer.mode.agentMode.customInfo.description":"Prilagođeni način rada primjenjuje pravila odobravanja i pješčanika definirana u vašoj datoteci <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Saznajte više o konfiguriranju pravila odobravanja i pješčanika u <link>dokumentima izvršnog okružja</link>.","composer.mode.agentMode.customInfo.refresh":"Bilo koje promjene stupaju na snagu idući put kada se agent pokrene.","composer.mode.agentMode.customInfo.title":"Kako funkcionira prilagođeni način rada","composer.mode.agentMode.fullAccess":"Agent (potpuni pristup)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (potpuni pristup)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (potpuni pristup)","composer.mode.agentMode.fullAccessConfirm.caution":"Budite oprezni prilikom omogućavanja punog pristupa. To značajno povećava rizik od gubitka podataka, curenja ili neočekivanog ponašanja.","composer.mode.agentMode.fullAccessConfirm.confirm":"Da, svejedno nastavi","composer.mode.agentMode.fullAccessConfirm.description":"Kada Codex radi s punim pristupom, može uređivati ​​bilo koju datoteku na vašem računalu i izvršavati naredbe pomoću mreže, bez vašeg odobrenja.","composer.mode.agentMode.fullAccessConfirm.goBack":"Otkaži","composer.mode.agentMode.fullAccessConfirm.title":"Omogućiti potpuni pristup?","composer.mode.agentMode.readOnly":"Čavrljanje","composer.mode.agentMode.readOnly.dropdownLabel":"Čavrljanje","composer.mode.agentMode.readOnly.optionLabel":"Čavrljanje","composer.mode.agentMode.tooltip":"Prebacite na drugi način rada","composer.mode.agentMode.tooltip.auto":"Čita i uređuje ​​datoteke te izvršava naredbe.","composer.mode.agentMode.tooltip.custom":"Upotrijebite najnovija pravila odobravanja i pješčanika definirana u datoteci config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex može uređivati ​​datoteke izvan ovog projekta i izvršavati naredbe s mrežnim pristupom. Budite oprezni prilikom uporabe.","composer.mode.agentMode.tooltip.readOnly":"Odobrenje je potrebno za uređivanje datoteka i izvršavanje naredbi.","composer.mode.cloud.tooltip":"Radite u okruženju u oblaku","composer.mode.contactAdmin":"Za dodatni pristup obratite se administratoru","composer.mode.local":"Lokalno","composer.mode.local.learnMore":"Doznajte više","composer.mode.local.model.custom":"Prilagođeno","composer.mode.local.model.loadingModel":"Učitavanje modela","composer.mode.local.model.selecrReasoningEffort":"Odaberite razinu prosuđivanja","composer.mode.local.model.selectModel":"Odaberite model","composer.mode.local.model.tooltip":"Odaberi model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Visoka","composer.mode.local.reasoning.low.label":"Niska","composer.mode.local.reasoning.medium.label":"Srednja","composer.mode.local.reasoning.minimal.label":"Minimalna","composer.mode.local.reasoning.none.label":"Ništa","composer.mode.local.reasoning.xhigh.label":"Iznimno visoko","composer.mode.localRemoteWhereRun":"Odaberite gdje pokrenuti zadatak","composer.mode.newTask.header":"Nastavite u","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Preostala ograničenja broja zahtjeva","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"Ograničenje za {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {tjedno ograničenje} few {{weeks} tjedna ograničenja} other {{weeks} tjednih ograničenja}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {tjedan} few {{weeks} tjedna} other {{weeks} tjedana}}","composer.mode.remote.connectToCloud":"Poveži mrežni Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Postavite okružje uz mrežni Codex da biste omogućili slanje zadataka u oblak","composer.mode.remote.selectEnvironment":"Odaberite okruženje","composer.mode.remote.sendToCloud":"Pošaljite u oblak","composer.mode.remote.setupViaWeb":"Postavite okruženje uz mrežni Codex","composer.mode.runInCloud":"Oblak","composer.mode.runInCloudWithEnvironment":"Oblak · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Radite u okruženju u oblaku","composer.mode.segmentedToggle.local.tooltip":"Radite u lokalnom projektu","composer.mode.segmentedToggle.worktree.tooltip":"Radite u paralelnom radnom stablu","composer.mode.upgradeToPlus":"Nadogradi na Plus","composer.mode.upgradeToPro":"Nadogradi na Pro","composer.mode.workLocally":"Lokalni projekt","composer.mode.workLocally.currentBranchFallback":"vaš ogranak","composer.mode.workLocally.tooltip":"Radite na {branchName}","composer.mode.worktree":"Novo radno stablo","composer.mode.worktree.submoduleWarning":"Ovaj repozitorij ima podmodule git. Izrada radnog stabla može biti neuspješna.","composer.mode.worktree.tooltip":"Izradite kopiju lokalnog projekta za paralelni rad","composer.mode.worktreeSegment":"Radno stablo","composer.modelChangeDuringConversationWarning.toast":"Promjena modela usred razgovora smanjit će izvedbe.","composer.newChat.heading.browser":"Što ćemo sljedeće kodirati?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex upotrebljava dopuštenje definirano u config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ima potpuni pristup vašem računalu (povećani rizik)","composer.permissionsDropdown.custom.label":"Prilagođeno (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Prilagođeno (config.toml)","composer.permissionsDropdown.default.label":"Zadana dopuštenja","composer.permissionsDropdown.default.optionLabel":"Zadana dopuštenja","composer.permissionsDropdown.default.tooltip":"Codex automatski izvršava naredbe u pješčaniku","composer.permissionsDropdown.disabled.requirements":"Dopuštenja su zaključane datotekom requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Puni pristup onemogućen stavkom requirements.toml","composer.permissionsDropdown.fullAccess.label":"Potpun pristup","composer.permissionsDropdown.fullAccess.optionLabel":"Potpun pristup","composer.permissionsDropdown.trigger.tooltip":"Promijeni dopuštenja","composer.personalitySlashCommand.description.friendly":"Topao, suradnički i koristan","composer.personalitySlashCommand.description.pragmatic":"Sažet, usmjeren na zadatak i izravan","composer.personalitySlashCommand.label.friendly":"Prijateljski","composer.personalitySlashCommand.label.pragmatic":"Pragmatično","composer.personalitySlashCommand.notApplicableSuffix":"(Ne odnosi se na trenutačni model)","composer.personalitySlashCommand.title":"Osobnost","composer.placeholder.cloudFollowUp.directFollowUp":"Naknadno djelovanje za ovaj zadatak u oblaku","composer.placeholder.cloudFollowUp.local":"Izradite novi lokalni zadatak koji referencira ovaj zadatak u oblaku.","composer.placeholder.cloudFollowUp.workingTree":"Izradite novi zadatak u oblaku kojim se uključuje trenutačni kôd i kojim se referencira ovaj zadatak","composer.placeholder.localFollowUp.cloud":"Naknadno djelovanje u novom zadatku u oblaku","composer.placeholder.localFollowUp.locally":"Zatražite naknadne promjene","composer.placeholder.newTask.cloud":"Zatražite da Codex učini bilo što u oblaku","composer.placeholder.newTask.doAnything":"Zatražite da Codex učini bilo što","composer.placeholder.newTask.locally":"Pitajte Codex bilo što, @ za dodavanje datoteka, / za naredbe","composer.planModeDropdown":"Način rada planiranja","composer.planModeDropdown.ariaLabel":"Način rada planiranja","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Izradite plan uz Codex","composer.planModeIndicator.tooltipToggle":"za uključivanje/isključivanje","composer.planSlashCommand.disableDescription":"Isključi način rada planiranja","composer.planSlashCommand.enableDescription":"Uključi način rada planiranja","composer.planSlashCommand.title":"Način rada planiranja","composer.priorContext.label":"Prethodni kontekst","composer.priorContext.removeAriaLabel":"Ukloni prethodni kontekst","composer.queuedMessage.delete":"Izbriši poruke u redu čekanja","composer.queuedMessage.edit":"Uredi poruku","composer.queuedMessage.more":"Radnje za poruke u redu čekanja","composer.queuedMessage.sendNow":"Upravljaj","composer.queuedMessage.sendNowTooltip":"Pošalji odmah bez prekida rada","composer.queuedMessage.turnOff":"Isključi čekanje u redu","composer.reasoningEffort.local.reasoning.tooltip":"Odaberite razinu prosuđivanja","composer.remote.branchStartingPoint":"S kojim bi ogrankom trebao započeti zadatak?","composer.remote.branchesSectionHeading":"Ogranci","composer.remote.currentEditsSuffix.followUp":"Izradite novi zadatak koji referencira ovaj zadatak u oblaku.","composer.remote.currentEditsSuffix.useLocal":"s lokalnim promjenama kôda","composer.remote.directFollowUp":"Nemojte upotrijebiti lokalne promjene","composer.remote.errorLoadingBranches":"Pogreška pri učitavanju ogranaka","composer.remote.fromBranch":"Od ogranka {branch}","composer.remote.fromCurrentBranch":"Od ogranka {branch} (trenutačno)","composer.remote.loadingMoreBranches":"Učitavanje...","composer.remote.localFileStateHeading":"Stanje lokalne datoteke","composer.remote.localWorkingTree":"Upotrijebite lokalne promjene","composer.remote.startingPoint":"S kojim bi kôdom trebao započeti zadatak?","composer.reviewMode.branches.error":"Učitavanje ogranaka nije uspjelo","composer.reviewMode.branches.retry":"Pokušaj ponovno","composer.reviewMode.gitRoot.error":"Korijen git nije pronađen","composer.reviewMode.option.baseBranch.simple":"Pregled u odnosu na osnovni ogranak","composer.reviewMode.option.unstaged.simple":"Pregled nepohranjenih promjena","composer.reviewMode.quickReviewError":"Neuspješno pokretanje pregleda koda.","composer.reviewMode.title":"Pregled koda","composer.sandboxButton.unlock.disabled.tooltip":"Puni pristup onemogućen stavkom requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex može upotrijebiti eksperimentalan pješčanik u sustavu Windows za ograničavanje pristupa sustavu datoteka i mreži. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Omogućiti Windows Sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Upotrijebi način samo za čitanje","composer.searchEnvironments":"Pretraži okružja","composer.skillMentionList.app":"Aplikacija","composer.skillMentionList.appLogoAlt":"Logotip {name}","composer.skillMentionList.loading":"Učitavanje vještina…","composer.skillMentionList.noResults":"Nema pronađenih vještina","composer.slashCommands.cloudEnvironment.title":"Okružje u oblaku","composer.slashCommands.dialogLabel":"Izbornik naredbi s kosom crtom","composer.slashCommands.dialogTitle":"Naredbe s kosom crtom","composer.slashCommands.disabledTooltip":"Započnite novi razgovor za uporabu naredbi s kosom crtom","composer.slashCommands.inputPlaceholder":"Pretraži","composer.slashCommands.noResults":"Nema naredbi","composer.slashCommands.skillsGroup":"Vještine","composer.slashCommands.tooltip":"Pregledajte naredbe s kosom crtom","composer.status.close":"Zatvori","composer.statusPlain.alertLabel":"Upozorenje:","composer.statusPlain.alertValue":"{remaining} % preostalo za {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count} k","composer.statusPlain.contextValueMetadata":"({used} upotrijebljeno / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % preostalo","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Ograničenje za {modelName}:","composer.statusPlain.rateLimitDays":"Ograničenje: {count} d","composer.statusPlain.rateLimitFallbackLabel":"Ograničenje stope:","composer.statusPlain.rateLimitHours":"Ograničenje: {count} h","composer.statusPlain.rateLimitLabelBase":"Ograničenje stope","composer.statusPlain.rateLimitMinutes":"Ograničenje: {count} m","composer.statusPlain.rateLimitPercent":"{remaining} % preostalo","composer.statusPlain.rateLimitReset":"ponovno se postavlja: {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"vrijeme ponovnog postavljanja nije dostupno","composer.statusPlain.rateLimitUnavailable":"Nedostupno","composer.statusPlain.sessionCopiedAriaLabel":"ID sesije je kopiran","composer.statusPlain.sessionCopiedTooltip":"ID je kopiran","composer.statusPlain.sessionCopyAriaLabel":"Kopiraj ID sesije","composer.statusPlain.sessionCopyTooltip":"Kopirajte ID","composer.statusPlain.sessionLabel":"Sesija:","composer.statusSlashCommand.description":"Prikaži ID razgovora, uporabu konteksta i ograničenja stope","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"U redu","composer.submit.blockedDialogTitle":"Nije moguće poslati poruku","composer.submit.emptyMessage":"Za početak upišite poruku","composer.submit.imageInputsUnsupported":"Uklonite slike ili promijenite modele kako biste poslali ovu poruku.","composer.submit.loadingLocalConfig":"Učitavanje...","composer.submit.missingCloudConfig":"Morate odabrati okružje u oblaku","composer.submit.missingCloudTurn":"Ne mogu nastaviti s ovim zadatkom","composer.submit.noWorkspace":"Dodajte projekt da biste mogli upotrijebiti Codex","composer.submit.waitForImageUploads":"Učitavanje slika…","composer.submitButtonTooltip.send":"Pošalji","composer.submitButtonTooltip.stop":"Zaustavi","composer.worktreeEnvironment.create":"Izradi lokalno okruženje","composer.worktreeEnvironment.default":"Zadano okruženje","composer.worktreeEnvironment.error":"Pogreška pri učitavanju okruženja","composer.worktreeEnvironment.loading":"Učitavanje okruženja…","composer.worktreeEnvironment.title":"Lokalno okruženje","composer.worktreeEnvironment.tooltip":"Odaberi lokalno okruženje","composer.worktreeSetupFailed":"Neuspješno postavljanje radnog stabla. Provjerite .codex/environments za skriptu za postavljanje.","compoundButton.secondaryAction":"Sekundarna radnja","copyButton.copied":"Kopirano","copyButton.copiedAriaLabel":"Kopirano","copyButton.copy":"Kopiraj","copyButton.copyAriaLabel":"Kopiraj","copyButton.copyCode":"Kopiraj kod","diff.actionButton.revertFile":"Vrati datoteku na prethodno","diff.actionButton.revertHunk":"Vrati na prethodno","diff.actionButton.revertSection":"Vrati sve na prethodno","diff.actionButton.revertSectionLabel":"Vrati sve na prethodno","diff.actionButton.stageFile":"Pripremi datoteku","diff.actionButton.stageHunk":"Pripremi","diff.actionButton.stageSection":"Pripremi sve","diff.actionButton.stageSectionLabel":"Pripremi sve","diff.actionButton.unstageFile":"Poništi pripremu datoteke","diff.actionButton.unstageHunk":"Poništi pripremu","diff.actionButton.unstageSection":"Poništi pripremu svih stavki","diff.actionButton.unstageSectionLabel":"Poništi pripremu svih stavki","diff.fileHeader.toggle":"Uključi/isključi diff datoteke","electron.onboarding.login.apikey.cancel":"Otkaži","electron.onboarding.login.apikey.continue":"Nastavi","electron.onboarding.login.apikey.label":"Ključ za OpenAI API","electron.onboarding.login.apikey.open":"Upiši ključ za API","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"Otkaži prijavu","electron.onboarding.login.chatgpt.continue":"Nastavi uz ChatGPT","electron.onboarding.login.devbox":"Povežite na udaljeni SSH","electron.onboarding.login.error":"Neuspješna prijava: {rawMessage}","electron.onboarding.login.snake.start":"Igraj se zmije","electron.onboarding.login.sshConfig.cancel":"Otkaži","electron.onboarding.login.sshConfig.continue":"Nastavi","electron.onboarding.login.sshConfig.hostnameLabel":"Naziv domaćina SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Najbolji način gradnje s agentima","electron.onboarding.login.title":"Dobro došli u Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Nastavi","electron.onboarding.welcome.doubleLimits.description":"U čast lansiranja aplikacije Codex, imate dva puta veća ograničenja do 2. travnja.","electron.onboarding.welcome.freego.description":"Codex je besplatno obuhvaćen u vašem planu do 2. ožujka – započnimo graditi zajedno.","electron.onboarding.welcome.new.title.anon":"Dobro došli!","electron.onboarding.workspace.continue":"Nastavi","electron.onboarding.workspace.empty":"Dodajte projekt da biste mogli nastaviti.","electron.onboarding.workspace.listLabel":"Dostupni projekti","electron.onboarding.workspace.loading":"Učitavam projekte…","electron.onboarding.workspace.openFolder":"Dodaj projekt","electron.onboarding.workspace.selectAll":"Odaberi sve","electron.onboarding.workspace.skip":"Preskoči","electron.onboarding.workspace.skip.error":"Nije moguće izraditi novi projekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Nepoznata pogreška","electron.onboarding.workspace.skipping":"Izrada novog projekta…","electron.onboarding.workspace.subtitle":"Codex će moći uređivati ​​datoteke i izvršavati naredbe u odabranim mapama.","electron.onboarding.workspace.title":"Odaberi projekt","errorPage.list.checkSettings":"Pokušajte ažurirati postavke integriranog razvojnog okružja","errorPage.list.configToml":"Provjerite postoje li u config.toml nevaljane postavke","errorPage.list.downloadExtension":"Pokušajte preuzeti drugu inačicu proširenja","errorPage.list.runInWsl":"Provjerite postavke da biste onemogućili pokretanje u WSL-u ako imate problema s kompatibilnosti","execApprovalRequest.menu.runAlways":"Da, i ne pitaj više u ovoj sesiji","execApprovalRequest.menu.runAlwaysWithAmendment":"Da, i nemoj ponovno tražiti naredbe koje počinju s {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Da, i nemoj ponovno tražiti naredbe koje počinju s","execApprovalRequest.menu.runOnce":"Da","execApprovalRequest.prompt":"Želite li pokrenuti ovu naredbu?","execApprovalRequest.reject":"Ne","execFooter.exitCode":"Kôd izlaza {code}","execFooter.exitCode.unknown":"nepoznato","execFooter.success":"Uspješno","feedback.dialog.category.badResult":"Loš rezultat","feedback.dialog.category.bug":"Pogreška","feedback.dialog.category.goodResult":"Dobar rezultat","feedback.dialog.category.other":"Drugo","feedback.dialog.category.safetyCheck":"Sigurnosna provjera","feedback.dialog.descriptionPlaceholder":"Ovdje opišite problem","feedback.dialog.dismiss":"Odbaci","feedback.dialog.includeLogsLabel":"Obuhvati trenutačne zapise sesije Codexa","feedback.dialog.submit":"Pošalji","feedback.dialog.submitError":"Nismo mogli poslati vaše povratne informacije. Pokušajte ponovno za koji trenutak.","feedback.dialog.title":"Povratne informacije","feedback.dialog.uploadedMessage.existingIssue":"postojeći otvoreni problem","feedback.dialog.uploadedMessage.openIssue":"otvori problem GitHub","feedback.dialog.uploadedMessage.withThread":"Učitane su povratne informacije. Ako se problem nastavi, otvorite {openIssueLink} ili spomenite identifikacijsku oznaku razgovora u {existingIssueLink}:","feedback.dialog.uploadedTitle":"Povratne informacije učitane","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Ukloni {filename}","header.back":"Natrag","header.recentChats":"Zadaci","header.recentTasks.seeAll":"Prikaži sve ({total})","home.header.getPlus":"Nabavi Plus","home.hero.letsBuild":"Započnimo graditi","homePage.mainContent":"Glavni sadržaj","imageAttachment.defaultName":"sliku","imageAttachment.preview.close":"Zatvori pretprikaz slike","imageAttachment.removeAriaLabel":"Ukloni {filename}","implementPlanRequest.option.implement":"Da, implementiraj ovaj plan","implementPlanRequest.prompt":"Implementirati ovaj plan?","inbox.archived.deleteError":"Nije moguće izbrisati arhivirano izvođenje","inbox.archived.deleteRun":"Izbriši arhivirano izvođenje","inbox.archived.deleteSuccess":"Izbrisan arhivirani razgovor. Prikaži u <settingsLink>arhiviranim razgovorima</settingsLink>.","inbox.archived.inlineLabel.auto":"Razgovor je automatski arhiviran. <learnMoreLink>Saznajte više</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ovaj je razgovor arhiviran.","inbox.archived.noMessageFound":"Poruka nije pronađena","inbox.automations.createError":"Stvaranje automatizacije nije uspjelo","inbox.automations.deleteConfirm.cancel":"Otkaži","inbox.automations.deleteConfirm.confirm":"Izbriši automatizaciju","inbox.automations.deleteConfirm.description":"Time će se trajno izbrisati automatizacija i zaustaviti sva buduća pokretanja.","inbox.automations.deleteConfirm.title":"Izbriši {name}?","inbox.automations.deleteError":"Nije uspjelo brisanje automatizacije","inbox.automations.editTooltip":"Uredi automatizaciju","inbox.automations.inProgress":"U tijeku","inbox.automations.new":"Novo","inbox.automations.newToolbar":"Nova automatizacija","inbox.automations.pauseTooltip":"Pauziraj automatizaciju","inbox.automations.resumeTooltip":"Nastavi automatizaciju","inbox.automations.startingNow":"Pokrećem sada","inbox.automations.startsIn":"Započinje u {startTime}.","inbox.automations.status.active":"Aktivno","inbox.automations.status.paused":"Zaustavljeno","inbox.automations.status.runs":"Broj pokretanja: {count}","inbox.automations.status.started":"Pokrenuto {date}","inbox.automations.updateError":"Nije moguće ažurirati automatizaciju","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Sve","inbox.filter.ariaLabel":"Filtriraj stavke dolazne pošte","inbox.filter.unread":"Nepročitano","inbox.list.archived":"Arhivirano","inbox.list.inProgress":"U tijeku","inbox.list.recent":"Dovršeno","inbox.list.upNext":"Zakazano","inbox.mode.automations":"Automatizacije","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nije pružen opis","inbox.openThread":"Otvori razgovor","inbox.rightPanel.emptySubtitle":"Automatizirajte rad postavljanjem zakazanih zadataka","inbox.rightPanel.emptySubtitle.learnMore":"Automatizirajte rad postavljanjem zakazanih razgovora. <link>Doznajte više</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktivna automatizacija} few {# aktivne automatizacije} other {# aktivnih automatizacija}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nema nepročitanih automatizacija","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# nepročitana automatizacija} few {# nepročitane automatizacije} other {# nepročitanih automatizacija}}","inbox.rightPanel.emptyTitle":"Nije odabrana nijedna stavka","inbox.rightPanel.noThread":"Nema razgovora za tu stavku","inbox.rightPanel.quickStart.header":"Započnite predloškom","inbox.untitled":"Stavke dolazne pošte bez naslova","loadingPage.documentationLink":"dokumentaciju","loadingPage.errorDescription":"Codex se srušio i prikazuje iduću pogrešku:","loadingPage.errorDescription.documentation":"Kliknite na ponovno učitavanje da biste ponovno pokrenuli proširenje Codex ili posjetite našu {documentationLink} za dodatnu pomoć.","loadingPage.errorSignal":"Što biste mogli isprobati:","loadingPage.errorTitle":"Došlo je do pogreške","loadingPage.openConfigToml":"Otvori Config.toml","loadingPage.reload":"Ponovno učitaj","localConversation.contextCompacted":"Kontekst se automatski sažima","localConversation.contextCompacting":"Automatsko sažimanje konteksta","localConversation.finalAssistantMessageDivider":"Konačna poruka","localConversation.forkedFromConversation":"Forkano iz {threadTitle}","localConversation.merge.autoResolve.failed":"Neuspješan zahtjev za automatskim rješavanjem: {error}","localConversation.merge.autoResolve.sent":"Zahtjev za automatskim rješavanjem poslan","localConversation.merge.autoResolveMerge.missingConversation":"Nije moguće automatsko rješavanje bez aktivnog razgovora.","localConversation.merge.autoResolveMerge.request":"Automatski riješi konflikte spajanja","localConversation.modelChanged":"Model promijenjen iz {fromModel} u {toModel}.","localConversation.modelChanged.warning.line1":"Promjena modela usred razgovora smanjit će izvedbe.","localConversation.modelChanged.warning.line2":"Kontekst se može automatski sažeti.","localConversation.modelRerouted":"Vaš je zahtjev preusmjeren na {toModel}.","localConversation.modelRerouted.warning.line1":"Pazite, vaš je zahtjev preusmjeren kako bi se smanjio rizik od kibernetičke zlouporabe.","localConversation.modelRerouted.warning.line2":"Smatrate ovo pogreškom? Zatražite pregled na <link>chatgpt.com/cyber</link>ili prijavite s pomoću /feedback","localConversation.moveThread.createBranch.label":"Stvori ogranak","localConversation.moveToLocal.disabled.branchCheckedOut":"Ogranak je već provjeren u drugom radnom stablu","localConversation.moveToLocal.disabled.loading":"Učitavanje...","localConversation.moveToLocal.disabled.missingSourceHead":"Nije moguće razriješiti commit HEAD-a radnog stabla","localConversation.moveToLocal.disabled.noWorkspace":"Nije pronađen lokalni radni prostor za ovo radno stablo","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"Trenutačno nije moguće premjestiti. Provjerite stanje lokalnog radnog prostora i ponovno pokušajte.","localConversation.moveToLocal.error.rollbackIssues":"Problemi s vraćanjem na prethodno stanje: {issues}","localConversation.moveToLocal.label":"Premjesti u lokalno","localConversation.moveToLocal.loading.subtitle":"Premještanje promjena radnog stabla na lokalno…","localConversation.moveToLocal.loading.title":"Premještanje na lokalno","localConversation.moveToLocal.modal.continue":"Nastavi","localConversation.moveToLocal.modal.destinationLabel":"Premjesti na","localConversation.moveToLocal.modal.retry":"Ponovno pokušaj","localConversation.moveToLocal.modal.subtitle":"Ovaj ogranak radnog stabla i promjene (uncommitted) bit će vraćene u vašu lokalnu provjeru.","localConversation.moveToLocal.modal.title":"Premjesti u lokalno","localConversation.moveToWorktree.error.branchRequired":"Potreban je naziv ogranka radnog stabla","localConversation.moveToWorktree.error.createWorktree":"Neuspješna izrada radnog stabla: {message}","localConversation.moveToWorktree.error.move":"Neuspješno premještanje na radno stablo: {message}","localConversation.moveToWorktree.error.prepareBranch":"Neuspješna priprema ogranka radnog stabla „{branch}”: {message}","localConversation.moveToWorktree.error.rollbackIssues":"Problemi s vraćanjem na prethodno stanje: {issues}","localConversation.moveToWorktree.error.unknown":"Neuspješno premještanje radnog stabla. Ponovno pokušajte.","localConversation.moveToWorktree.label":"Premjesti na radno stablo","localConversation.moveToWorktree.loading.subtitle":"Postavljanje radnog stabla i premještanje lokalnih promjena…","localConversation.moveToWorktree.loading.title":"Premještanje na radno stablo","localConversation.moveToWorktree.modal.back":"Natrag","localConversation.moveToWorktree.modal.branchAlreadyExists":"Ogranak već postoji.","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Ogranak već postoji.","localConversation.moveToWorktree.modal.branchesError":"Učitavanje ogranaka nije uspjelo","localConversation.moveToWorktree.modal.branchesLoading":"Učitavanje ogranaka…","localConversation.moveToWorktree.modal.branchesRetry":"Ponovno pokušaj","localConversation.moveToWorktree.modal.continue":"Nastavi","localConversation.moveToWorktree.modal.defaultBranchError":"Ogranak radnog stabla mora se razlikovati od zadanog ogranka.","localConversation.moveToWorktree.modal.localBranchLabel":"Lokalni ogranak","localConversation.moveToWorktree.modal.localBranchPlaceholder":"Odaberi ogranak lokalne promjene","localConversation.moveToWorktree.modal.noTargetBranch":"Nema dostupnih drugih lokalnih ogranaka","localConversation.moveToWorktree.modal.retry":"Ponovno pokušaj","localConversation.moveToWorktree.modal.subtitle":"Ovaj ogranak i sve promjene (uncommitted) bit će premještene u radno stablo. Morate lokalno provjeriti drugi ogranak na njegovom mjestu.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex će izraditi novo radno stablo za ovaj razgovor.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"Odaberite naziv ogranka radnog stabla. Codex će ga upotrijebiti umjesto zadanog ogranka.","localConversation.moveToWorktree.modal.subtitle.loading":"Tražim postojeće radno stablo…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"Ovaj će ogranak biti premješten u radno stablo. Vaš trenutačni lokalni ogranak ostat će provjeren.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex će ponovno upotrijebiti postojeće radno stablo za ovaj razgovor.","localConversation.moveToWorktree.modal.title":"Premjesti na radno stablo","localConversation.moveToWorktree.modal.trailingSlashError":"Naziv ogranka ne može završavati s „/”.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Naziv ogranka radnog stabla","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Ogranak radnog stabla","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"Prebačeno na osobnost {personality}","localConversation.planSummary.collapse":"Skupi sažetak plana","localConversation.planSummary.collapseTooltip":"Sažimanje","localConversation.planSummary.download":"Preuzmi plan","localConversation.planSummary.expand":"Proširi sažetak plana","localConversation.planSummary.expandTooltip":"Proširenje","localConversation.planSummary.openInNewWindow":"Otvori","localConversation.planSummary.openInNewWindow.tooltip":"Otvori u novom prozoru","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Pišem plan","localConversation.planSummary.viewPlan":"Proširi plan","localConversation.previousMessagesSummary":"{count, plural, one {# prethodna poruka} few {# prethodne poruke} other {# prethodnih poruka}}","localConversation.remoteTaskCreated":"Stvoreno {taskLink} u Codex Cloudu","localConversation.remoteTaskCreated.task":"zadatak","localConversation.scrollToBottomButton":"Pomaknite se na dno","localConversation.sync.buttonLabel":"Predaj lokalnom","localConversation.sync.buttonLabel.tooltip":"Predajte promjene između ovog radnog stabla i vaše lokalne provjere.","localConversation.sync.modal.loading.title":"Predajem promjene…","localConversation.sync.modal.noChanges":"Bez promjena","localConversation.syncSetup.branchAriaLabel":"Naziv ogranka","localConversation.syncSetup.branchName":"Naziv ogranka","localConversation.syncSetup.branchPlaceholder.existing":"Odaberi postojeći ogranak","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Učitavanje ogranaka…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Već je prebačeno","localConversation.syncSetup.checkoutClean":"Trenutačno na {branchName}","localConversation.syncSetup.checkoutDirty":"Trenutačno na ogranku {branchName} s nespremljenim promjenama (uncommitted)","localConversation.syncSetup.checkoutError":"Neuspješna provjera ogranka: {message}","localConversation.syncSetup.checkoutLabel":"Prebaci lokalno odmah","localConversation.syncSetup.checkoutOnLocal":"Predaj lokalnom","localConversation.syncSetup.checkoutPending":"Prebacivanje lokalnog statusa…","localConversation.syncSetup.checkoutUnavailable":"Lokalni radni prostor nije dostupan","localConversation.syncSetup.checkoutUnknown":"Lokalni ogranak nije dostupan","localConversation.syncSetup.continue":"Nastavi","localConversation.syncSetup.createBranchError":"Neuspješno postavljanje ogranka za predaju: {message}","localConversation.syncSetup.error":"Došlo je do pogreške: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nije moguće napraviti snimku stanja radnog stabla. Pokušajte ponovno predati.","localConversation.syncSetup.mode.ariaLabel":"Odaberi način rada ogranka","localConversation.syncSetup.mode.existing":"Postojeći ogranak","localConversation.syncSetup.mode.new":"Novi ogranak","localConversation.syncSetup.noBranches":"Nema pronađenih ogranaka","localConversation.syncSetup.overwriteError":"Ogranak je stvoren, ali nije u potpunosti predan. Ručno ga predajte prije lokalne provjere.","localConversation.syncSetup.setPrefix":"Postavi prefiks","localConversation.syncSetup.subtitle":"Testirajte i uredite promjena radnog stabla lokalno. <a>Doznajte više</a>","localConversation.syncSetup.success.checkedOut":"Ogranak je izrađen i prebačen lokalno","localConversation.syncSetup.success.notCheckedOut":"Ogranak je stvoren","localConversation.syncSetup.title":"Predaj lokalnom ogranku","localConversation.syncWorktreeError.branchAriaLabel":"Naziv ogranka","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Odaberite ogranak za predaju, a zatim ponovno pokušajte učitati promjene.","localConversation.syncWorktreeError.branchSetup.title":"Ažuriraj ogranak","localConversation.syncWorktreeError.branchUpdate.cta":"Ažuriraj i ponovno pokušaj","localConversation.syncWorktreeError.branchUpdate.error":"Neuspješno ažuriranje ogranka: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Došlo je do pogreške: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Ogranak nije provjeren u bilo kojem radnom stablu.","localConversation.syncWorktreeV2.applyUncommitted":"Primijeni","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Morate lokalno prebaciti ogranak da biste primijenili nespremljene promjene (uncommitted)","localConversation.syncWorktreeV2.branches.empty":"Nema pronađenih ogranaka","localConversation.syncWorktreeV2.branches.loading":"Učitavanje ogranaka…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Promijeni ogranak za predaju","localConversation.syncWorktreeV2.changeBranch.error":"Neuspješna promjena ogranka za predaju: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Neuspješna primjena","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Neuspješno prepisivanje radnog stabla","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Neuspješno lokalno prepisivanje","localConversation.syncWorktreeV2.commandError.back":"Natrag","localConversation.syncWorktreeV2.commandError.body":"Neuspješna naredba git prilikom predaje. Pregledajte izlaz i pokušajte ponovno.","localConversation.syncWorktreeV2.commandError.retry":"Pokušaj ponovno","localConversation.syncWorktreeV2.description":"Predajte promjene između lokalnog i ovog radnog stabla <a>Saznajte više</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Odaberite smjer predaje","localConversation.syncWorktreeV2.error.generic":"Došlo je do pogreške prilikom predaje. Pokušajte ponovno.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalno","localConversation.syncWorktreeV2.noChanges":"Izračunavam promjene","localConversation.syncWorktreeV2.noChanges.summary":"Bez promjena","localConversation.syncWorktreeV2.overwrite.local":"Prebriši lokalno","localConversation.syncWorktreeV2.overwrite.worktree":"Prebriši radno stablo","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nije moguće primijeniti promjene","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nije moguće prebrisati lokalne promjene","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nije moguće prebrisati promjene radnog stabla","localConversation.syncWorktreeV2.partial.appliedLabel":"Primijenjeno","localConversation.syncWorktreeV2.partial.back":"Natrag","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Riješite konflikte i pokušajte ponovno.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikti","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","localConversation.syncWorktreeV2.partial.retry":"Pokušaj ponovno","localConversation.syncWorktreeV2.partial.skippedLabel":"Preskočen/a/o","localConversation.syncWorktreeV2.stateFailed.generic":"Došlo je do pogreške prilikom dohvaćanja promjena radnog stabla za predaju. Pokušajte ponovno.","localConversation.syncWorktreeV2.stateFailed.title":"Neuspješno učitavanje promjena radnog stabla","localConversation.syncWorktreeV2.statusError.diffUnknown":"Učitavanje promjena radnog stabla nije bilo uspješno.","localConversation.syncWorktreeV2.statusError.retry":"Pokušaj ponovno","localConversation.syncWorktreeV2.statusError.title":"Nije moguće učitati promjene lokalnog ogranka","localConversation.syncWorktreeV2.statusError.unknown":"Stanje ogranka trenutačno nije dostupno. Pokušajte ponovno.","localConversation.syncWorktreeV2.success.apply":"Uspješno primijenjene promjene","localConversation.syncWorktreeV2.success.overwrite":"Uspješna predaja","localConversation.syncWorktreeV2.title":"Predajte promjene","localConversation.syncWorktreeV2.worktreeLabel":"Radno stablo","localConversation.userInputRequest.inProgress":"Postavljam {count, plural, one {pitanje} few {pitanja} other {pitanja}}","localConversation.userInputRequest.noAnswer":"Nema nikakvog odgovora","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Pitano","localConversation.userInputRequest.summary.count":"{count, plural, one {# pitanje} few {# pitanja} other {# pitanja}}","localConversation.workedFor":"Bio je pokrenut {time}","localConversation.worktreeBranchSetup.action.create":"Stvori","localConversation.worktreeBranchSetup.branchAriaLabel":"Naziv ogranka","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Izradite novi ogranak","localConversation.worktreeBranchSetup.checkoutDisabled":"Ogranak je već prebačen u {location}","localConversation.worktreeBranchSetup.checkoutError":"Neuspješna provjera ogranka: {message}","localConversation.worktreeBranchSetup.createBranchError":"Neuspješno postavljanje ogranka: {message}","localConversation.worktreeBranchSetup.error":"Došlo je do pogreške: {message}","localConversation.worktreeBranchSetup.subtitle":"Izradite ogranak za potvrđivanje (commit) promjena, slanje i izradu PR-a iz ovog radnog stabla. <a>Doznajte više</a>","localConversation.worktreeBranchSetup.title":"Radite ovdje","localConversationPage.addWorktreeToSidebar.tooltip":"Spremite kao projekt da biste mogli pokretati nove razgovore iz ovog radnog stabla","localConversationPage.addWorktreeToSidebarError":"Neuspješno dodavanje projekta","localConversationPage.commitAndCreatePrModal.errorTitle":"Potvrdi promjene i stvori neuspješni PR","localConversationPage.commitAndCreatePrModal.successTitle":"Promjene potvrđene i stvoren PR","localConversationPage.commitAndPushModal.errorTitle":"Potvrdi promjene i pošalji neuspješno","localConversationPage.commitAndPushModal.successTitle":"Promjene potvrđene i poslano neuspješno","localConversationPage.commitCreatePr.open":"Otvori zahtjev za pull","localConversationPage.commitCreatePr.successTitle":"Stvoren PR s vašim najnovijim promjenama","localConversationPage.createBranchButtonLabel":"Ogranak ovdje","localConversationPage.createPrModal.baseBranch":"Osnova","localConversationPage.createPrModal.baseBranchUnknown":"–","localConversationPage.createPrModal.confirm":"Izradi PR","localConversationPage.createPrModal.createDescription":"Otvorite zahtjev za povlačenje za svoje najnovije promjene.","localConversationPage.createPrModal.errorTitle":"Neuspješan zahtjev za povlačenje","localConversationPage.createPrModal.headBranch":"Glavno","localConversationPage.createPrModal.headBranchUnknown":"–","localConversationPage.createPrModal.open":"Otvori PR","localConversationPage.createPrModal.successTitle":"Stvoren je zahtjev za pull","localConversationPage.createPrModal.title":"Stvori zahtjev za povlačenje","localConversationPage.createPrModal.viewDescription":"Zahtjev za povlačenje već postoji za ovaj ogranak.","localConversationPage.createPrModal.viewTitle":"Spreman zahtjev za povlačenje","localConversationPage.createPullRequestAuthGh":"Provjeri autentičnost stavke GitHub CLI: pokreni `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informacije o ogranku nisu dostupne","localConversationPage.createPullRequestButtonLabel":"Izradi PR","localConversationPage.createPullRequestButtonLabel.loading":"Stvaram PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Zadane informacije o ogranku nisu dostupne","localConversationPage.createPullRequestError":"Nije uspjelo stvaranje zahtjeva za pull","localConversationPage.createPullRequestExistingPullRequest":"Zahtjev za povlačenje već postoji za ovaj ogranak","localConversationPage.createPullRequestGhStatusMissing":"Učitavanje stanja GitHub CL…","localConversationPage.createPullRequestInstallGh":"Instalirajte GitHub CLI (gh) za izradu PR-ova","localConversationPage.createPullRequestNoRepo":"Nije pronađen repozitorij git","localConversationPage.createPullRequestPushStatusMissing":"Učitavanje stanja slanja…","localConversationPage.createPullRequestSetUpstream":"Gurnite ovaj ogranak prije izrade PR-a","localConversationPage.createPullRequestSuccessToast":"Stvoren je zahtjev za pull","localConversationPage.createPullRequestSwitchBranch":"Provjerite ogranak značajke prije izrade PR-a","localConversationPage.error.render":"Pogreška pri prikazivanju lokalnog razgovora","localConversationPage.error.toast":"Razgovor nije pronađen","localConversationPage.forcePushError":"Neuspješno prisilno slanje","localConversationPage.generatePullRequestMessageError":"Neuspješna izrada naslova i tijela zahtjeva za pull","localConversationPage.generatePullRequestMessageFailed":"Neuspješna izrada naslova i tijela zahtjeva za pull.","localConversationPage.gitActionResult.branch":"Ogranak","localConversationPage.gitActionResult.cancel":"Otkaži","localConversationPage.gitActionResult.close":"Zatvori","localConversationPage.gitActionResult.tryAgain":"Pokušaj ponovno","localConversationPage.gitActions":"Radnje git","localConversationPage.newChat":"Novo čavrljanje","localConversationPage.openInTarget":"Otvori u","localConversationPage.openPrimaryTarget":"Otvori","localConversationPage.planItemsCompleted":"{completedItems} od {totalItems, plural, one {# dovršeni zadatak} few {# dovršena zadatka} other {# dovršenih zadataka}}","localConversationPage.pushAuthError":"Push neuspješan: potrebna provjera autentičnosti","localConversationPage.pushBranchMissing":"Informacije o ogranku nisu dostupne","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Slanje…","localConversationPage.pushError":"Neuspješno slanje promjena","localConversationPage.pushModal.branchLabel":"Ogranak","localConversationPage.pushModal.branchUnknown":"–","localConversationPage.pushModal.cancel":"Otkaži","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Pošaljite svoje najnovije potvrđene promjene u daljinski repozitorij.","localConversationPage.pushModal.errorTitle":"Neuspješno slanje","localConversationPage.pushModal.forcePush":"Prisilno pošalji","localConversationPage.pushModal.successTitle":"Dovršeno slanje","localConversationPage.pushModal.title":"Promjene slanja","localConversationPage.pushModal.tryAgain":"Pokušaj ponovno","localConversationPage.pushNoUpstream":"Postavite prosljeđivanje (upstream) prije slanja ovog ogranka","localConversationPage.pushNoUpstreamError":"Push neuspješan: nije konfigurirano prosljeđivanje (upstream)","localConversationPage.pushNothingToPush":"Nema novih commita za slanje","localConversationPage.pushRemoteChangedError":"Push neuspješan: daljinska stavka ima nove commite","localConversationPage.pushRemoteRejectedError":"Daljinska stavka odbacila je push","localConversationPage.pushStatusMissing":"Učitavanje stanja slanja…","localConversationPage.pushSuccessToast":"Poslane promjene","localConversationPage.viewPullRequestButtonLabel":"Prikaži PR","localConversationPage.viewPullRequestButtonLabel.loading":"Učitavanje zahtjeva za pull…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# popis} few {# popisa} other {# popisa}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# pretraga} few {# pretraga/e} other {# pretraga/e}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Istražuje","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Istraženo","localConversationTurn.exploration.accordion.header.complete.withCounts":"Istraženo: {counts}","localConversationTurnStory.showContent":"Prikaži sadržaj","localConversationTurnStory.streamContent":"Struji sadržaj","localConversationTurnStory.toggleReasoning":"Prikaži prosuđivanje","localTaskRow.archiveError":"Neuspješno arhiviranje razgovora","localTaskRow.resumeError":"Neuspješno nastavljanje zadatka","mermaidDiagram.ariaLabel":"Dijagram Mermaid","mermaidDiagram.copySource":"Kopiraj dijagram Mermaid","mermaidDiagram.originalCode":"Izvorni kod Mermaid","notifications.permissions.description":"Prikaži upozorenja kada su potrebna dopuštenja za obavijesti","notifications.permissions.label":"Omogući obavijesti o dopuštenju","notifications.turnMode.always":"Uvijek","notifications.turnMode.description":"Postavite kada će vas Codex obavijestiti da je završio","notifications.turnMode.label":"Uključi obavijesti o dovršetku","notifications.turnMode.off":"Nikada","notifications.turnMode.unfocused":"Samo kada nije fokusirano","patchApprovalRequest.approve":"Odobri","patchApprovalRequest.menu.allowAlways":"Da, i ne pitaj više u ovoj sesiji","patchApprovalRequest.menu.allowForSession":"Da, i ne pitaj više u ovoj sesiji","patchApprovalRequest.menu.allowOnce":"Da","patchApprovalRequest.prompt":"Želite li napraviti te promjene?","patchApprovalRequest.reject":"Ne","patchApprovalRequest.waitingForApproval":"Čekanje na odobrenje za uređivanje datoteka","pendingRequest.approvalExec.collapse":"Sažimanje","pendingRequest.approvalExec.expand":"Proširenje","pendingRequestStory.toastAnswer":"Odgovor: {answer}","pendingRequestStory.toastApprovalTitle":"Odgovor odobrenja","pendingRequestStory.toastFollowupPrompt":"Upit: {prompt}","pendingRequestStory.toastFollowupTitle":"Naknadan upit poslan","pendingRequestStory.toastNoAnswers":"Nema danih odgovora","pendingRequestStory.toastQuestion":"Pitanje: {question}","pendingRequestStory.toastUnknownDecision":"Nepoznato","pendingRequestStory.toastUserInputTitle":"Poslani odgovori","quickAction.request.codeReview.branches.new":"Pregledaj promjene {from} u odnosu na {to}","quickAction.request.codeReview.uncommitted.new":"Pregledaj moje nepohranjene promjene","reasoningItem.thinking":"Razmišlja","reasoningItem.thought":"Razmišljanje je završeno","reasoningItem.thoughtWithElapsed":"Misao za {elapsed}","recentConversations.title":"Nedavni razgovori","recentTasks.worktreeInitFailedTitle":"Neuspješno pokretanje inicijalizacije radnog stabla","recentTasks.worktreeSettingUpTitle":"Postavljanje radnog stabla","requestInputPanel.continue":"Nastavi","requestInputPanel.dismiss":"Odbaci","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Piši ovdje","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ne, i recite Codexu što da učini drukčije","requestInputPanel.selectedBadge":"Odabrano","requestInputPanel.skip":"Preskoči","requestInputPanel.submit":"Pošalji","review.commit.ariaLabel.includeUnstaged":"Uključi nepripremljeno","review.commit.buttonLabel":"Spremi","review.commit.disabled.committing":"Potvrđivanje promjena…","review.commit.disabled.loadingDiff":"Učitavanje značajke diff…","review.commit.disabled.missingContext":"Dodajte kontekst za izradu poruke potvrde","review.commit.disabled.noChanges":"Nema promjena za spremanje","review.commit.disabled.noSelection":"Odaberite promjene za spremanje","review.commit.disabled.unavailable":"Spremanje trenutačno nije dostupno","review.commit.error":"Neuspješno spremanje promjena","review.commit.form.changesToBeCommitted":"Promjene","review.commit.form.commitTo":"Ogranak","review.commit.form.commitTo.none":"–","review.commit.form.continue":"Nastavi","review.commit.form.title":"Spremite svoje promjene","review.commit.generate.emptyResponse":"Nije moguće izraditi poruku za commit.","review.commit.generate.failed":"Neuspješna izrada poruke za commit: {error}","review.commit.generate.missingPrompt":"Dodajte neki kontekst kako biste izradili poruku za commit.","review.commit.includeUnstaged":"Uključi nepripremljeno","review.commit.loading.description":"Pričekajte, ovo bi moglo malo potrajati…","review.commit.loading.step.commit.done":"Spremljene promjene","review.commit.loading.step.commit.pending":"Potvrđivanje promjena","review.commit.loading.step.createPr.done":"Stvoren zahtjev za slanje","review.commit.loading.step.createPr.pending":"Stvaranje zahtjeva za slanje","review.commit.loading.step.push.done":"Poslano u ogranak {branch}","review.commit.loading.step.push.pending":"Slanje u ogranak {branch}","review.commit.loading.title.commit":"Potvrđivanje promjena","review.commit.loading.title.createPr":"Stvaranje PR-a","review.commit.loading.title.push":"Slanje promjena","review.commit.messageLabel":"Poruka spremanja","review.commit.messagePlaceholder":"Ostavite prazno za automatsku izradu poruke commita","review.commit.nextSteps":"Sljedeći koraci","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Potvrdi promjene i stvori PR","review.commit.nextSteps.commitAndPush":"Potvrdi promjene i pošalji","review.commit.nextSteps.prRequiresGh":"Potreban je GitHub CLI: {command}","review.commit.rows.changes":"Promjene","review.commit.rows.commitCount":"{count, plural, one {# commit} few {# commita} other {# commita}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} few {# commita} other {# commita}} i {stats}","review.commit.rows.fileCount":"{count, plural, one {# datoteka} few {# datoteka} other {# datoteka}}","review.commit.state.error.body":"Došlo je do pogreške prilikom spremanja. Provjerite status na gitu pa pokušajte ponovno.","review.commit.state.error.title":"Spremanje nije uspjelo","review.commit.state.success.title":"Promjene su primijenjene","review.commit.untracked.loadingStats":"Učitavanje nepraćenih statistika diffova…","reviewFindingAttachments.count":"{count, plural, one {# nalaz} few {# nalaza} other {# nalaza}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Uredite svoju konfiguraciju za prilagođavanje ponašanja agenta","settings.agent.configuration.configToml.docs":"Dokumenti","settings.agent.configuration.configToml.restartNote":"Ponovno pokrenite Codex nakon uređivanja kako biste primijenili promjene","settings.agent.configuration.subtitle":"Te se postavke primjenjuju na sva mjesta gdje se upotrebljava Codex","settings.automations.banner.danger":"Automatizacije se izvode sa zadanim postavkama pješčanika koje su trenutačno postavljene na puni pristup. Pokretanje automatizacija u pozadini s punim pristupom nosi povećani rizik jer Codex može mijenjati datoteke, pokretati naredbe i pristupati mreži bez pitanja. Razmislite o ažuriranju postavki pješčanika na pisanje u radni prostor i uporabi <rulesDocsLink>pravila</rulesDocsLink> za selektivno definiranje koje naredbe agent može pokretati punim pristupom.","settings.automations.banner.defaultHowTo.default":"Automatizacije se izvode sa zadanim postavkama pješčanika. Pozivi alata neće uspjeti ako zahtijevaju izmjenu datoteka izvan radnog prostora, pristup mreži ili rad s aplikacijama na vašem računalu. Možete selektivno dopustiti naredbe za izvođenje izvan pješčanika primjenom <rulesDocsLink>pravila</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizacije se izvode sa zadanim postavkama pješčanika koje su postavljene samo na čitanje. Pozivi alata neće uspjeti ako zahtijevaju izmjenu datoteka, pristup mreži ili rad s aplikacijama na vašem računalu. Razmislite o ažuriranju postavki pješčanika na pisanje u radni prostor.","settings.automations.cancel":"Otkaži","settings.automations.create":"Stvori","settings.automations.cwdEmpty":"Nema dostupnih mapa projekta","settings.automations.cwdLabel":"Projekti","settings.automations.cwdPlaceholder":"Odaberite mapu","settings.automations.cwdSubtitle":"Ako želite da se automatizacija pokrene na određenom ogranku, možete to odrediti u svojem odzivniku.","settings.automations.delete":"Izbriši","settings.automations.dialog.editTitle":"Uredi automatizaciju","settings.automations.dialog.newTitle":"Nova automatizacija","settings.automations.dialog.subtitle":"Automatizirajte ponavljajuće zadatke u pozadini. Codex dodaje rezultate u pristiglu poštu ili automatski arhivira zadatak ako nema što prijaviti. <learnMoreLink>Saznajte više</learnMoreLink>","settings.automations.dialog.title":"Stvori automatizaciju","settings.automations.executionCopy.git":"Projekti Git izvode se u namjenskim pozadinskim radnim stablima.","settings.automations.executionCopy.local":"Automatizacije se izvršavaju izravno u odabranim direktorijima projekata.","settings.automations.executionCopy.nonGit":"Projekti koji nisu kontrolirani inačicama izvode se lokalno jer radna stabla zahtijevaju Git.","settings.automations.executionEnvironment.ariaLabel":"Okruženje izvršenja","settings.automations.executionEnvironment.label":"Okruženje izvršenja","settings.automations.executionEnvironment.local":"Lokalno","settings.automations.executionEnvironment.local.help":"Izvršava se izravno u odabranom direktoriju projekta bez izrade radnog stabla.","settings.automations.executionEnvironment.worktree":"Radno stablo","settings.automations.executionEnvironment.worktree.help":"Radi u namjenskom radnom stablu Git izrađenom iz odabranog projekta, držeći vašu trenutnu odjavu netaknutom.","settings.automations.loading":"Učitavanje...","settings.automations.nameLabel":"Naziv","settings.automations.namePlaceholder":"Provjerite probleme sentry","settings.automations.pause":"Zaustavi","settings.automations.promptLabel":"Odzivnik","settings.automations.promptPlaceholder":"tražiti padove u $Sentry","settings.automations.resume":"Nastavi","settings.automations.rruleSummaryFallback":"Prilagođen raspored","settings.automations.runNow":"Test","settings.automations.save":"Spremi","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Radni dani","settings.automations.scheduleBadge.weekends":"Vikendi","settings.automations.scheduleHeader":"Zakaži","settings.automations.scheduleHours":"sati","settings.automations.scheduleLabel":"Pokreni svaki","settings.automations.scheduleMode.daily":"Dnevno","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Vrsta rasporeda","settings.automations.scheduleSummary.daily":"Dnevno u {time}","settings.automations.scheduleSummary.interval":"Svakih {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dan} few {# dana} other {# dana}}","settings.automations.scheduleSummary.intervalDays":"{interval} {days}","settings.automations.scheduleSummary.intervalHourly":"Satno","settings.automations.scheduleSummary.singleDay":"{day} u {time}","settings.automations.scheduleSummary.weekdays":"Radnim danom u {time}","settings.automations.scheduleSummary.weekdaysLabel":"radni dani","settings.automations.scheduleSummary.weekends":"Vikendom u {time}","settings.automations.scheduleSummary.weekendsLabel":"vikendi","settings.automations.scheduleSummary.weekly":"{days} u {time}","settings.automations.scheduleWeekdays":"Uključeno","settings.automations.weekdayState.excluded":"Isključeno","settings.automations.weekdayState.included":"Uključeno","settings.conversationDetail.steps":"Koraci","settings.conversationDetail.steps.description":"Sakrij naredbe i izlaze","settings.conversationDetail.stepsWithCommands":"Koraci s naredbama kôdiranja","settings.conversationDetail.stepsWithCommands.description":"Prikaži naredbe, sažmi izlaz","settings.conversationDetail.stepsWithOutput":"Koraci s izlazom kôdiranja","settings.conversationDetail.stepsWithOutput.description":"Prikaži naredbe i proširi izlaz","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nema arhiviranih čavrljanja.","settings.dataControls.archivedChats.error":"Nije moguće učitati arhivirana čavrljanja.","settings.dataControls.archivedChats.loading":"Učitavanje arhiviranih čavrljanja…","settings.dataControls.archivedChats.unarchive":"Poništi arhiviranje","settings.dataControls.archivedChats.unarchiveError":"Neuspješno poništavanje arhiviranja čavrljanja","settings.dataControls.archivedChats.unarchiveSuccess":"Poništeno arhiviranje razgovora. <viewNowLink>Prikaži sada</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Poništeno arhiviranje razgovora.","settings.dataControls.archivedChats.untitled":"Čavrljanje bez naslova","settings.dataControls.archivedChats.viewNow":"Prikaži sada","settings.editRow.headerPlaceholder":"Ključ","settings.editRow.removeEntry":"Ukloni upis","settings.editRow.valuePlaceholder":"Vrijednost","settings.general.appearance":"Izgled","settings.general.appearance.codeFont":"Font kôda","settings.general.appearance.codeFont.description":"Prilagodite font i veličinu koji se upotrebljavaju za kôd u čavrljanjima i diffovima","settings.general.appearance.codeFontFamily":"Obitelj fonta za kôd","settings.general.appearance.codeFontSize":"Veličina fonta kôda","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Neka prozori upotrebljavaju jednoličnu pozadinu umjesto prozirnosti sustava","settings.general.appearance.opaqueWindows.label":"Upotrijebi neprozirnu pozadinu prozora","settings.general.appearance.sansFontFamily":"Obitelj fonta sans","settings.general.appearance.sansFontFamily.description":"Prilagodite font koji se upotrebljava za korisničko sučelje Codex","settings.general.appearance.sansFontSize":"Veličina fonta sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Prikaz efekta proslave preko cijelog prozora dok GPT-5.3-Codex-Spark izvršava prvi potez","settings.general.appearance.sparkCelebrationEffects.label":"Efekti proslave","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Tamno","settings.general.appearance.theme.description":"Upotrijebite svijetlo, tamno ili boju koja odgovara vašem sustavu","settings.general.appearance.theme.light":"Munjevito","settings.general.appearance.theme.system":"Sustav","settings.general.appearance.usePointerCursors.description":"Promijenite kursor u pokazivač prilikom zadržavanja pokazivača iznad interaktivnih elemenata","settings.general.appearance.usePointerCursors.label":"Upotrijebite pokazivače kursora","settings.general.enterBehavior.description":"Kada je omogućeno, višeredni odzivnici zahtijevaju {modifierSymbol} + enter za slanje.","settings.general.enterBehavior.label":"Zahtijeva {modifierSymbol} + enter za slanje dugih odzivnika","settings.general.experimentalFeatures":"Eksperimentalne značajke (Beta)","settings.general.experimentalFeatures.empty":"Nema dostupnih beta eksperimentalnih značajki.","settings.general.experimentalFeatures.loading":"Učitavanje eksperimentalnih značajki…","settings.general.experimentalFeatures.restartNote":"Ponovo pokrenite Codex kako biste primijenili eksperimentalne promjene značajki","settings.general.experimentalFeatures.toggle":"Uključi/isključi {featureName}","settings.general.followUpQueueMode.description":"Stavi praćenja u red čekanja dok se Codex izvršava ili upravljaj trenutačnim izvršavanjem. Pritisnite {invertFollowUpShortcutLabel} za suprotan postupak za jednu poruku.","settings.general.followUpQueueMode.interrupt":"Upravljaj","settings.general.followUpQueueMode.label":"Ponašanje tijekom praćenja","settings.general.followUpQueueMode.queue":"Red čekanja","settings.general.notifications":"Obavijesti","settings.general.power.preventSleepWhileRunning.description":"Pripazite da računalo ne prijeđe u stanje mirovanja dok Codex izvodi razgovor.","settings.general.power.preventSleepWhileRunning.label":"Spriječi prelazak u stanje mirovanja tijekom izvođenja","settings.git.branchPrefix.ariaLabel":"Prefiks ogranka","settings.git.branchPrefix.description":"Prefiks koji se upotrebljava pri izradi novih ogranaka u Codexu","settings.git.branchPrefix.label":"Prefiks ogranka","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Neuspješno spremanje prefiksa ogranka","settings.git.branchPrefix.save.success":"Spremljeni prefiks ogranka","settings.git.commitInstructions.ariaLabel":"Upute za commit","settings.git.commitInstructions.description":"Dodano u odzivnike za izradu poruka za commit","settings.git.commitInstructions.label":"Upute za commit","settings.git.commitInstructions.placeholder":"Dodaj vodič za commit poruke…","settings.git.commitInstructions.save":"Spremi","settings.git.commitInstructions.save.error":"Neuspješno spremanje uputa za commit","settings.git.commitInstructions.save.success":"Spremljene upute za commit","settings.git.forcePush.ariaLabel":"Uvijek prisilno pošalji (force push)","settings.git.forcePush.description":"Upotrijebi --force-with-lease prilikom slanja iz Codexa","settings.git.forcePush.label":"Uvijek prisilno pošalji (force push)","settings.git.forcePush.save.disabled":"Uvijek prisilno pošalji (force push) onemogućeno","settings.git.forcePush.save.enabled":"Uvijek prisilno pošalji (force push) omogućeno","settings.git.forcePush.save.error":"Neuspješno spremanje postavke prisilnog slanja (force push)","settings.git.prInstructions.ariaLabel":"Upute zahtjeva za pull","settings.git.prInstructions.description":"Dodano tijelima zahtjeva za pull koje je izradio Codex","settings.git.prInstructions.label":"Upute zahtjeva za pull","settings.git.prInstructions.placeholder":"Dodaj vodič za zahtjev za pull…","settings.git.prInstructions.save":"Spremi","settings.git.prInstructions.save.error":"Neuspješno spremanje uputa zahtjeva za pull","settings.git.prInstructions.save.success":"Spremljene upute zahtjeva za pull","settings.ide.defaultOpenTarget.description":"Gdje se datoteke i mape zadano otvaraju","settings.ide.defaultOpenTarget.label":"Zadano otvoreno odredište","settings.ide.defaultOpenTarget.placeholder":"Nema pronađenih ciljeva","settings.ide.language.auto":"Automatsko otkrivanje","settings.ide.language.autoOption":"Automatsko otkrivanje","settings.ide.language.description":"Jezik za korisničko sučelje aplikacije","settings.ide.language.label":"Jezik","settings.ide.language.search":"Pretražite jezike","settings.layout.actionButton":"Ponovno pokreni proširenje","settings.layout.actionTitle":"Postavke s radnjom","settings.layout.fullWidthTitle":"Postavke (puna širina)","settings.layout.title":"Postavke","settings.localEnvironments.actions.add":"Dodaj radnju","settings.localEnvironments.actions.add.description":"Izradite novu naredbu za pokretanje iz alatne trake.","settings.localEnvironments.actions.add.save":"Spremi","settings.localEnvironments.actions.empty":"Dodaj radnju za izvođenje naredbi s lokalne alatne trake.","settings.localEnvironments.actions.icon.debug":"Ispravljanje pogrešaka","settings.localEnvironments.actions.icon.run":"Pokreni","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Alat","settings.localEnvironments.actions.item.button.delete":"Izbriši","settings.localEnvironments.actions.item.command":"Skripta radnje","settings.localEnvironments.actions.item.name":"Naziv","settings.localEnvironments.actions.item.platforms":"Platforme","settings.localEnvironments.actions.item.platforms.help":"Izvođenje samo na određenom operativnom sustavu.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Odabir platforme","settings.localEnvironments.actions.item.platforms.specific":"Specifično za platformu","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Izbriši","settings.localEnvironments.actions.title":"Radnje","settings.localEnvironments.breadcrumb.back":"Natrag","settings.localEnvironments.breadcrumb.edit":"uredi","settings.localEnvironments.breadcrumb.root":"Okružja","settings.localEnvironments.environment.actions.description":"Te radnje mogu izvesti bilo koju naredbu i bit će prikazane u zaglavlju.","settings.localEnvironments.environment.actionsLabel":"Radnje","settings.localEnvironments.environment.create":"Izradi lokalno okruženje","settings.localEnvironments.environment.defaultName":"Lokalno","settings.localEnvironments.environment.edit":"Uredi lokalno okruženje","settings.localEnvironments.environment.empty":"Za ovaj projekt još nije konfigurirano lokalno okruženje.","settings.localEnvironments.environment.name":"Naziv","settings.localEnvironments.environment.setup":"Skripta za postavljanje","settings.localEnvironments.environment.setup.description":"Ova će se skripta pokrenuti prilikom izrade radnog stabla.","settings.localEnvironments.environment.setup.hint":"Izvodi se u korijenu projekta.","settings.localEnvironments.environment.setup.platformOverrides":"Nadjačavanja platforme","settings.localEnvironments.environment.setup.platformOverrides.add":"Dodaj skriptu za postavljanje platforme {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Nadjačava zadanu skriptu za određene operativne sustave.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Ukloni","settings.localEnvironments.environment.setup.script":"Skripta","settings.localEnvironments.environment.title":"Pojedinosti o okruženju","settings.localEnvironments.file.missing":"Spremite da biste prvi put izradili ovu datoteku.","settings.localEnvironments.file.parseError":"Nije moguće parsirati postojeću datoteku. Spremanje će ju prebrisati. ({error})","settings.localEnvironments.file.path":"Datoteka: {path}","settings.localEnvironments.file.readError":"Neuspješno učitavanje podataka o lokalnom okruženju. ({error})","settings.localEnvironments.file.title":"Datoteka lokalnog okruženja","settings.localEnvironments.loading.body":"Dohvaćanje vaše konfiguracije projekta.","settings.localEnvironments.loading.title":"Učitavanje lokalnih okruženja","settings.localEnvironments.preview.devOnly":"(Samo DEV)","settings.localEnvironments.preview.save":"Spremi","settings.localEnvironments.preview.saveError":"Neuspješno spremanje datoteke. ({error})","settings.localEnvironments.preview.title":"Pretpregled","settings.localEnvironments.save.disabled.name":"Dodajte naziv okruženja za spremanje.","settings.localEnvironments.save.disabled.noChanges":"Nema promjena za spremanje.","settings.localEnvironments.save.disabled.saving":"Spremanje…","settings.localEnvironments.save.success":"Spremljeno lokalno okruženje","settings.localEnvironments.unavailable.body":"Nismo mogli učitati postavke lokalnog okruženja za ovaj projekt.","settings.localEnvironments.unavailable.title":"Lokalna okruženja nisu dostupna","settings.localEnvironments.workspace.add":"Dodaj projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Dodaj okruženje","settings.localEnvironments.workspaceSelect.description":"Lokalna okruženja otkrivaju Codexu kako postaviti radna stabla za projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Još nema projekta. Dodajte jedan za konfiguriranje lokalnih okruženja.","settings.localEnvironments.workspaceSelect.errorLabel":"Okruženju je potrebna intervencija","settings.localEnvironments.workspaceSelect.learnMore":"Doznajte više","settings.localEnvironments.workspaceSelect.listLabel":"Dostupni projekti","settings.localEnvironments.workspaceSelect.loading":"Učitavam projekte.","settings.localEnvironments.workspaceSelect.loadingLabel":"Učitavanju okruženja","settings.localEnvironments.workspaceSelect.title":"Odaberi projekt","settings.localEnvironments.workspaceSelect.viewAction":"Prikaz","settings.mcp.addServer":"Dodaj poslužitelj","settings.mcp.app.configure":"Konfiguriraj","settings.mcp.app.connect":"Poveži","settings.mcp.apps.refresh":"Osvježi","settings.mcp.detail.addArgument":"Dodaj argument","settings.mcp.detail.addEnvVar":"Dodaj varijablu okruženja","settings.mcp.detail.addEnvVarPassthrough":"Dodaj varijablu","settings.mcp.detail.args":"Argumenti","settings.mcp.detail.back":"Natrag","settings.mcp.detail.command":"Naredi pokretanje","settings.mcp.detail.cwd":"Radni direktorij","settings.mcp.detail.docs":"Otvori dokumentaciju MCP","settings.mcp.detail.docs.link":"Dokumenti","settings.mcp.detail.envVarPassthrough":"Prolazak kroz varijablu okruženja","settings.mcp.detail.envVars":"Varijable okruženja","settings.mcp.detail.http.addEnvHeader":"Dodaj varijablu","settings.mcp.detail.http.addHeader":"Dodaj zaglavlje","settings.mcp.detail.http.bearerToken":"Env var tokena nositelja","settings.mcp.detail.http.envHeaders":"Zaglavlja iz varijabli okruženja","settings.mcp.detail.http.headers":"Zaglavlja","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Naziv","settings.mcp.detail.save":"Spremi","settings.mcp.detail.switchTransportNotice":"Ako želite promijeniti vrstu poslužitelja MCP, prvo deinstalirajte.","settings.mcp.detail.titleExisting":"Ažuriraj {name} MCP","settings.mcp.detail.titleNew":"Poveži s prilagođenim MCP-om","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Deinstaliraj","settings.mcp.empty":"Nema povezanih prilagođenih poslužitelja MCP","settings.mcp.myServers":"Prilagođeni poslužitelji","settings.mcp.partnerServer.description.figma":"Izradite bolji kôd uključivanjem punog konteksta Figma","settings.mcp.partnerServer.description.github":"Integrirajte se s GitHub API-jima za automatizaciju tijeka rada i izdvajanje podataka","settings.mcp.partnerServer.description.linear":"Integrirajte se s Linearovim praćenjem problema i upravljanjem projektima","settings.mcp.partnerServer.description.notion":"Čitajte dokumente, ažurirajte stranice, upravljajte zadatcima","settings.mcp.partnerServer.description.playwright":"Integrirajte automatizaciju preglednika za implementaciju dizajna i ispitivanje korisničkog sučelja.","settings.mcp.partnerServer.install":"Instaliraj","settings.mcp.partnerServer.installAndAuthenticate":"Instaliraj i provjeri autentičnost","settings.mcp.partnerServer.logoAlt":"Logotip {label}","settings.mcp.partnerServer.manage":"Upravljanje","settings.mcp.partnerServer.vendor":"Autor: {vendor}","settings.mcp.recommendedServers":"Predloženi poslužitelji","settings.mcp.restartApp":"Ponovno pokreni","settings.mcp.restartExtension":"Ponovno pokreni proširenje","settings.mcp.server.enable":"Omogući","settings.mcp.server.login":"Provjeri autentičnost","settings.mcp.server.settings":"Postavke","settings.multiselect.createOption":"Stvori „{value}”","settings.multiselect.removeOption":"Ukloni","settings.nav.account":"Račun","settings.nav.agent":"Konfiguracija","settings.nav.ariaLabel":"Postavke","settings.nav.back":"Natrag na aplikaciju","settings.nav.data-controls":"Arhivirani razgovori","settings.nav.environments":"Okruženja u oblaku","settings.nav.externalTooltip":"[alpha] Otvara se u pregledniku","settings.nav.general-settings":"Općenito","settings.nav.git-settings":"Git","settings.nav.local-environments":"Okružja","settings.nav.mcp-settings":"Poslužitelji MCP","settings.nav.notImplemented":"[alpha] Nije dostupno u Alphi","settings.nav.personalization":"Personalizacija","settings.nav.skills-settings":"Vještine","settings.nav.usage-analytics":"Uporaba i analitika","settings.nav.worktrees":"Radna stabla","settings.openSourceLicenses.back":"Natrag","settings.openSourceLicenses.loading":"Učitavanje...","settings.openSourceLicenses.missing":"Nisu pronađene obavijesti trećih strana.","settings.openSourceLicenses.notSupported":"Nije dostupno kod ovog domaćina.","settings.openSourceLicenses.rowDescription":"Obavijesti trećih strana za povezane zahtjeve","settings.openSourceLicenses.rowLabel":"Licence za softver otvorenog kôda","settings.openSourceLicenses.subtitle":"Obavijesti trećih strana za zahtjeve obuhvaćene u ovu aplikaciju","settings.openSourceLicenses.title":"Licence za softver otvorenog kôda","settings.openSourceLicenses.view":"Prikaz","settings.personalization.agents.description":"Upute za uređivanje koje prilagođavaju Codex vama. {learnMore}","settings.personalization.agents.learnMore":"Doznajte više","settings.personalization.agents.loadError":"Nije moguće učitati značajku agents.md.","settings.personalization.agents.loading":"Učitavanje značajke agents.md…","settings.personalization.agents.placeholder":"Dodajte svoje osobno prilagođene upute…","settings.personalization.agents.retry":"Pokušaj ponovno","settings.personalization.agents.save":"Spremi","settings.personalization.agents.save.error":"Nije moguće spremiti agents.md","settings.personalization.agents.save.success":"Spremljena je značajka agents.md","settings.personalization.agents.title":"Prilagođene upute","settings.personalization.personality.description":"Odaberite zadani ton za Codexove odgovore","settings.personalization.personality.label":"Osobnost","settings.sample.contentBody":"Upotrijebite ovaj raspored za sastavljanje ploča s postavkama s dosljednim razmakom.","settings.sample.contentTitle":"Uzorak bloka sadržaja","settings.section.account":"Račun","settings.section.agent":"Konfiguracija","settings.section.data-controls":"Arhivirani razgovori","settings.section.environments":"Okruženja u oblaku","settings.section.external":"Otvara se u vašem pregledniku tijekom Alphe","settings.section.general-settings":"Općenito","settings.section.git-settings":"Git","settings.section.local-environments":"Okružja","settings.section.mcp-settings":"Poslužitelji MCP","settings.section.mcp-settings.docs":"Dokumenti","settings.section.mcp-settings.subtitle":"Povežite vanjske alate i podatkovne izvore.","settings.section.personalization":"Personalizacija","settings.section.skills-settings":"Vještine","settings.section.unavailable":"Još nije dostupno u Alphi","settings.section.usage-analytics":"Uporaba i analitika","settings.section.worktrees":"Radna stabla","settings.threadDetail.description":"Odaberite koliko izlaza naredbi želite prikazati u razgovorima","settings.threadDetail.label":"Pojedinosti razgovora","settings.worktrees.conversation.untitled":"Razgovor bez naslova","settings.worktrees.delete.error":"Neuspješno brisanje radnog stabla","settings.worktrees.empty.body":"Radna stabla koja je izradio Codex pojavit će se ovdje.","settings.worktrees.empty.title":"Još nema radnih stabala","settings.worktrees.error.body":"Nešto je pošlo po zlu prilikom učitavanja radnih stabala.","settings.worktrees.error.retry":"Pokušaj ponovno","settings.worktrees.error.title":"Nije moguće učitati radna stabla","settings.worktrees.loading.body":"Dohvaćanje pojedinosti o radnom stablu.","settings.worktrees.loading.title":"Učitavanje radnih stabala","settings.worktrees.repository.loading":"Učitavanje metapodataka repozitorija…","settings.worktrees.repository.unknown":"Nepoznati repozitorij","settings.worktrees.row.conversations":"Razgovori","settings.worktrees.row.conversations.empty":"Još nema povezanih razgovora za ovo radno stablo.","settings.worktrees.row.conversations.loading":"Učitavanje razgovora…","settings.worktrees.row.delete":"Izbriši","settings.worktrees.row.title":"Radno stablo","sidebarElectron.addWorkspaceRoot":"Dodaj novi projekt","sidebarElectron.archiveThread":"Arhiviraj razgovor","sidebarElectron.archiveThreadError":"Neuspješno arhiviranje niti","sidebarElectron.collapseFolder":"Skupi mapu","sidebarElectron.createStableWorktree":"Izradi trajno radno stablo","sidebarElectron.createStableWorktree.dialog.ariaLabel":"Naziv projekta","sidebarElectron.createStableWorktree.dialog.cancel":"Otkaži","sidebarElectron.createStableWorktree.dialog.create":"Stvori","sidebarElectron.createStableWorktree.dialog.placeholder":"Naziv projekta","sidebarElectron.createStableWorktree.dialog.subtitle":"Izradite novo git radno stablo iz HEAD-a, dodajte ga kao projekt i zadržite ga dok ga ne uklonite.","sidebarElectron.createStableWorktree.dialog.title":"Izradite radno stablo i spremite ga kao projekt","sidebarElectron.createStableWorktree.error":"Neuspješna izrada trajnog radnog stabla: {message}","sidebarElectron.debugNavLink":"Ispravljanje pogrešaka","sidebarElectron.editWorkspaceRootOptionName":"Uredi naziv","sidebarElectron.expandFolder":"Proširi mapu","sidebarElectron.groupByMenu.recency":"Kronološki popis","sidebarElectron.groupByMenu.title":"Organiziraj","sidebarElectron.groupByMenu.workspace":"Prema projektu","sidebarElectron.inboxRouteNavLink":"Automatizacije","sidebarElectron.markThreadUnread":"Označi kao nepročitano","sidebarElectron.missingWorkspaceRoot":"Ova mapa projekta izbrisana je ili premještena","sidebarElectron.newThread":"Novi razgovor","sidebarElectron.newThreadInGroup":"Pokreni novi razgovor u {folder}","sidebarElectron.noRecentThreads":"Nema nedavnih razgovora","sidebarElectron.noTasks":"Nema razgovora","sidebarElectron.noTasks.start":"Dodaj novi projekt","sidebarElectron.noTasksWithFilter":"Nijedan razgovor ne podudara se s filtrima","sidebarElectron.pinnedThreads":"Prikvačeni razgovori","sidebarElectron.recentNavLink":"Razgovori","sidebarElectron.recentThreads":"Nedavni razgovori","sidebarElectron.removeWorkspaceRootOption":"Ukloni","sidebarElectron.renameThread":"Promijeni naziv razgovora","sidebarElectron.renameThreadDialogAriaLabel":"Naslov razgovora","sidebarElectron.renameThreadDialogCancel":"Otkaži","sidebarElectron.renameThreadDialogPlaceholder":"Dodaj naslov…","sidebarElectron.renameThreadDialogSave":"Spremi","sidebarElectron.renameThreadDialogSubtitle":"Neka bude kratko i prepoznatljivo.","sidebarElectron.renameThreadDialogTitle":"Promijeni naziv razgovora","sidebarElectron.renameThreadError":"Neuspješna promjena naziva razgovora","sidebarElectron.renameWorkspaceRootOptionLabel":"Prikazani naziv","sidebarElectron.showLess":"Prikaži manje","sidebarElectron.showMenu.all":"Svi razgovori","sidebarElectron.showMenu.relevant":"Relevantno","sidebarElectron.showMenu.relevantHint":"Prikaži samo nedavne razgovore za trenutačni ogranak, radna stabla ili druge razgovore koje zahtijevaju vašu pažnju","sidebarElectron.showMenu.title":"Prikaži","sidebarElectron.showMenu.tooltip":"Filtrirajte, sortirajte i organizirajte razgovore","sidebarElectron.showMenu.trigger":"Filtriraj razgovore bočne trake","sidebarElectron.showMore":"Prikaži više","sidebarElectron.skillsAppsRouteNavLink":"Vještine i aplikacije","sidebarElectron.skillsRouteNavLink":"Vještine","sidebarElectron.sortMenu.created":"Stvoreno","sidebarElectron.sortMenu.title":"Sortiraj prema","sidebarElectron.sortMenu.updated":"Ažurirano","sidebarElectron.taskNavigation":"Mape automatizacije","sidebarElectron.tasksInFolder":"Automatizacije u {folder}","sidebarElectron.workspaceOptions":"Radnje projekta za: {folder}","sidebarElectron.worktreeGroupTooltip":"Ovo je radno stablo git","skills.appsPage.apps.enableToggle":"Omogući aplikaciju","skills.appsPage.apps.installOnChatGpt":"Instaliraj na ChatGPT-ju","skills.appsPage.apps.manageOnChatGpt":"Upravljajte na ChatGPT-ju","skills.appsPage.apps.noDescription":"Nema opisa","skills.appsPage.createSkill":"Nova vještina","skills.appsPage.empty.apps":"Nema pronađenih aplikacija","skills.appsPage.empty.discoverApps":"Nema aplikacija za otkriti","skills.appsPage.empty.installedApps":"Nema instaliranih aplikacija","skills.appsPage.empty.skills":"Nema pronađenih vještina","skills.appsPage.heading":"Vještine i aplikacije","skills.appsPage.search.all":"Pretraži vještine i aplikacije","skills.appsPage.search.all.label":"Pretraži vještine i aplikacije","skills.appsPage.search.apps":"Pretraži aplikacije","skills.appsPage.search.apps.label":"Pretraži aplikacije","skills.appsPage.search.skills":"Pretraži vještine","skills.appsPage.search.skills.label":"Pretraži vještine","skills.appsPage.section.apps":"Aplikacije","skills.appsPage.section.apps.seeAll":"Prikaži sve aplikacije: {count}","skills.appsPage.section.discover":"Otkrij","skills.appsPage.section.installedApps":"Instalirano","skills.appsPage.section.skills":"Vještine","skills.appsPage.section.skills.seeAll":"Prikaži sve vještine: {count}","skills.appsPage.subheading":"Daj Codexu supermoći. <link>Doznajte više</link>","skills.appsPage.tab.apps":"Aplikacije","skills.appsPage.tab.recommended":"Preporučeno","skills.appsPage.tab.skills":"Vještine","skills.card.contentsError":"Nije moguće učitati sadržaje vještina.","skills.card.disable":"Onemogući","skills.card.disableSuccess":"Vještina {skillName} onemogućena","skills.card.disabledBadge":"Onemogućeno","skills.card.enable":"Omogući","skills.card.enableSuccess":"Vještina {skillName} omogućena","skills.card.loadingContents":"Učitavanje sadržaja vještina…","skills.card.more":"Više radnji","skills.card.open":"Otvori","skills.card.removeFailed":"Neuspješno instaliranje vještine","skills.card.removeSuccess":"Vještina {skillName} deinstalirana","skills.card.toggleEnabledError":"Neuspješno ažuriranje vještine","skills.card.try":"Probaj","skills.card.trySkill":"Isprobaj vještinu","skills.card.uninstall":"Deinstaliraj","skills.hero.dotLabel":"Idi na slajd {index}","skills.hero.next":"Nova izdvojena vještina","skills.hero.trySkill":"Isprobaj vještinu","skills.page.createSkill":"Nova vještina","skills.page.empty":"Nema pronađenih vještina","skills.page.filteredEmpty":"Nijedna vještina ne odgovara vašim filtrima","skills.page.filteredEmptyDescription":"Pokušajte prilagoditi filtre za pretraživanje ili opseg","skills.page.heading":"Vještine","skills.page.loading":"Učitavanje vještina…","skills.page.refreshSkills":"Osvježi","skills.page.refreshSkillsToUseNew":"Osvježi za uporabu novih vještina","skills.page.search":"Pretraži vještine","skills.page.search.label":"Pretraži vještine","skills.page.subheading":"Daj Codexu supermoći. <link>Doznajte više</link>","skills.preview.copyPrompt":"Kopiraj odzivnik","skills.preview.examplePrompt":"Primjer odzivnika","skills.recommended.error":"Nije moguće učitati preporučene vještine","skills.recommended.install":"Instaliraj","skills.recommended.installSkill":"Instaliraj vještinu","skills.recommended.installSuccess":"Vještina {skillName} instalirana","skills.recommended.installed":"Instalirane","skills.scope.admin":"Administrator","skills.scope.adminInstalled":"Instalirao je administrator","skills.scope.builtIn":"Sustav","skills.scope.personal":"Osobno","skills.scope.repo":"Repozitorij","skills.scope.system":"Sustav","skills.scope.team":"Tim","skills.scope.user":"Korisnik","skills.section.installed":"Instalirane","skills.section.recommended":"Preporučeno","story.slidingToggle.existing":"Postojeće","story.slidingToggle.fromLocal":"S lokalnog","story.slidingToggle.new":"Novo","story.slidingToggle.toLocal":"Na lokalno","terminal.close":"Zatvori terminal","terminal.title":"Terminal","thinkingShimmer.default":"Razmišlja","threadEnvIcon.cloudTooltip":"Ovaj se razgovor izvodi u Codex Cloudu.","threadEnvIcon.localTooltip":"Ovaj se razgovor izvodi lokalno.","threadEnvIcon.worktreeTooltip":"Ovaj se razgovor izvodi u lokalnom radnom stablu git.","threadHeader.archiveConfirmCancel":"Otkaži","threadHeader.archiveConfirmConfirm":"Arhiviraj","threadHeader.archiveConfirmSubtitle":"Možete ga pronaći kasnije u svojim arhiviranim razgovorima.","threadHeader.archiveConfirmTitle":"Arhivirati razgovor?","threadHeader.copyAppLink":"Kopiraj deeplink","threadHeader.copySessionId":"Kopiraj ID sesije","threadHeader.copyWorkingDirectory":"Kopiraj radni direktorij","threadHeader.forkIntoLocal":"Forkaj u lokalno","threadHeader.forkIntoWorktree":"Forkaj u novo radno stablo","threadHeader.forkPendingWorktreePrompt":"Forkaj ovaj razgovor u novo radno stablo.","threadHeader.forkPendingWorktreeTitle":"Forkani razgovor","threadHeader.forkThreadError":"Neuspješno forkanje razgovora","threadHeader.forkThreadRequiresGitRepo":"Za forkanje u novo radno stablo potreban je git repozitorij","threadHeader.moreActions":"Radnje za razgovore","threadPage.newThread":"Novi razgovor","threadPage.runAction.changeEnvironment":"Promijeni okruženje","threadPage.runAction.dropdown.titleWithEnvironment":"Radnje {environmentName}","threadPage.runAction.environmentSelector.label":"Odaberite okruženje","threadPage.runAction.label":"Pokreni","threadPage.runAction.missing.label":"Postavi radnju za izvođenje","threadPage.runAction.setup.commandLabel":"Naredi pokretanje","threadPage.runAction.setup.description":"Recite značajci Codex kako instalirati ovisnosti i pokrenuti vašu aplikaciju.","threadPage.runAction.setup.editMore":"Postavke okružja","threadPage.runAction.setup.placeholder":"npr.: npm install npm run","threadPage.runAction.setup.submit":"Spremi i izvedi","threadPage.runAction.setup.title":"Pokreni","threadPage.runAction.tooltip.withEnvironment":"Radnje {environmentName}","threadPage.toggleDiffPanel":"Prebaci ploču diffa","threadPage.toggleTerminal":"Uključi/isključi terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Otvori mapu","toolSummaryForCmd.exploredFiles":"<verb>Navedene</verb> datoteke","toolSummaryForCmd.exploredFilesInPath":"<verb>Navedene</verb> datoteke u {path}","toolSummaryForCmd.exploringFiles":"Datoteke se <verb>navode</verb>","toolSummaryForCmd.exploringFilesInPath":"<verb>Navodim</verb> datoteke u {path}","toolSummaryForCmd.finishedBackgroundTerminal":"Pozadinski terminal dovršen","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"Pozadinski terminal završen s naredbom {command}","toolSummaryForCmd.ranGenericCommand":"<status>Izvršena je naredba</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Izvršeno</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Čitaj</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Naredba se izvršava</status>{timer}","toolSummaryForCmd.runningTimer":"za {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Pretraživan</verb> je upit {query}","toolSummaryForCmd.searchedForFiles":"<verb>Pretraživane</verb> su datoteke","toolSummaryForCmd.searchedForInPath":"<verb>Pretraživan</verb> je upit {query} u {path}","toolSummaryForCmd.searchingFor":"<verb>Pretražujem</verb> upit {query}","toolSummaryForCmd.searchingForFiles":"<verb>Pretražujem</verb> datoteke","toolSummaryForCmd.searchingForInPath":"<verb>Pretražujem</verb> upit {query} u {path}","toolSummaryForCmd.startedBackgroundTerminal":"Pozadinski terminal pokrenut","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"Pozadinski terminal pokrenut s naredbom {command}","traceRecording.details.noteLabel":"Što ste radili kada se to dogodilo? (neobvezno)","traceRecording.details.notePlaceholder":"Otišao/la sam na veliki razgovor, a zatim više puta mijenjao/la kartice…","traceRecording.details.submit":"Pošalji trag","traceRecording.details.subtitle":"Možemo poslati ovaj trag profila kako bismo pomogli u dijagnosticiranju problema s izvedbama.","traceRecording.details.title":"Poslati trag profila?","traceRecording.progress.subtitle":"Neka Codex bude otvoren dok se ovo dovršava.","traceRecording.saving.title":"Spremanje traga…","traceRecording.startDetails.cancel":"Otkaži","traceRecording.startDetails.submit":"U redu, započni snimanje","traceRecording.startDetails.subtitle":"Nakon što kliknete U redu, reproducirajte problem s izvedbama, a zatim kliknite plutajući crveni indikator kako biste zaustavili i pregledali trag.","traceRecording.startDetails.title":"Kako funkcionira snimanje traga","traceRecording.stopButton.ariaLabel":"Zaustavi snimanje traga","traceRecording.upload.successToast":"Trag profila poslan","traceRecording.uploading.title":"Učitavanje traga…","wham.diff.addComment":"Dodaj komentar","wham.diff.binaryFile":"Binarna se datoteka ne prikazuje","wham.diff.noContent":"Bez sadržaja","wham.fileTag.deleted":"Izbrisano","wham.fileTag.new":"Novo","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mj","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} t","wham.formattedRelativeDateTime.compactYearsAgo":"{value} g","wham.message.modal.repoAndDiffStats.linesAdded":"+ {linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"- {linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Vaš se zadatak obrađuje","wham.whamProposedTask.title":"Predloženi zadatak","wham.whamProposedTask.useSuggestion":"Upotrijebi prijedlog","workspaceRootDialog.addError":"Neuspješno dodavanje projekta","workspaceRootDialog.cancel":"Otkaži","workspaceRootDialog.confirmAdd":"Dodaj projekt","workspaceRootDialog.confirmPick":"Upotrijebi projekt","workspaceRootDialog.description":"Upišite putanju na {host} koju želite upotrebljavati kao projekt.","workspaceRootDialog.pathLabel":"Putanja projekta","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Dodajte putanju projekta","workspaceRootDialog.title.pick":"Odaberite putanju projekta","worktreeInitV2.cancel":"Otkaži","worktreeInitV2.notification.failedTitle":"Neuspješno postavljanje radnog stabla","worktreeInitV2.output.empty":"Čekanje na izlaz…","worktreeInitV2.status.error":"Neuspješno postavljanje radnog stabla.","worktreeInitV2.status.running":"Izrađujem radno stablo i pokrećem postavljanje.","worktreeInitV2.status.runningFork":"Izrada radnog stabla za forkanje ovog razgovora.","worktreeInitV2.status.success":"Radno stablo spremno je.","worktreeInitV2.title":"Izrada radnog stabla","worktreeInitV2.workLocallyInstead":"Umjesto toga, radi lokalno","worktreeRestoreBanner.body":"Radno stablo ovog razgovora uklonjeno je radi uštede prostora na disku","worktreeRestoreBanner.missing.body":"Radni direktorij ovog razgovora više ne postoji","worktreeRestoreBanner.missing.title":"Nedostaje trenutačni radni direktorij","worktreeRestoreBanner.restore.error":"Neuspješno vraćanje radnog stabla: {message}","worktreeRestoreBanner.restore.success":"Radno stablo vraćeno","worktreeRestoreBanner.restoreCta":"Vrati radno stablo","worktreeRestoreBanner.title":"Radno stablo očišćeno"};Object.assign(e,globalThis.codexI18nOverrides?.["hr-HR"]);export{e as default};
 //# sourceMappingURL=hr-HR-DzG0AgNM.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Másolás","app.sidebar.hide":"Oldalsáv elrejtése","app.sidebar.show":"Oldalsáv megjelenítése","app.sidebar.tooltip":"Oldalsáv be-/kikapcsolása","appHeader.installUpdate":"Frissítés","appSunset.body":"Az app jelen verziója már nem támogatott. Kérjük, töltsd le a legújabb verziót <here>itt</here>.","appSunset.title":"Frissítés szükséges","automation.updateDirective.create":"Létrehozás","automation.updateDirective.open":"Megnyitás","automation.updateDirective.untitled":"Névtelen automatizálás","automation.updateDirective.update":"Frissítés","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# kísérlet} other {# kísérlet}}","cloudTaskRow.archiveError":"Nem sikerült archiválni a feladatot","code.diff.requestChange":"Módosítás kérése","code.diffComment.cancel":"Mégse","code.diffComment.comment":"Hozzászólás","code.diffComment.delete":"Törlés","code.diffComment.save":"Mentés","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Egyetlen találatot sem jelentettek.","codex.alert.closeAriaLabel":"Bezárás","codex.appUpsellBanner.cbpApi.message":"Gyorsabban építhetsz a Codex alkalmazással. Töltsd le most, vagy {learnMoreLink}.","codex.appUpsellBanner.download":"Letöltés","codex.appUpsellBanner.freeGo.message":"A Codex március 2-ig része a csomagodnak. Próbáld ki a Codex alkalmazást, hogy gyorsabban építhess.","codex.appUpsellBanner.later":"Később","codex.appUpsellBanner.learnMoreLowercase":"további információ","codex.appUpsellBanner.new":"Új","codex.appUpsellBanner.proPlusBusiness.message":"Próbáld ki a Codex alkalmazást 2x sebességkorlátozással április 2-ig. Töltsd le most, vagy {learnMoreLink}.","codex.appUpsellBanner.title":"Codex alkalmazás","codex.applyDropdown.header.changes":"Módosítások","codex.applyDropdown.header.fileCount":"{count, plural, one {# fájl} other {# fájl}}","codex.applyDropdown.header.rows":"sor","codex.applyDropdown.header.title":"Módosítások alkalmazása","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fájl ütközik:} other {{count} fájl ütközik:}}","codex.applyDropdown.results.empty":"Nincs másolt fájl","codex.applyDropdown.results.skipped":"{count, plural, one {1 fájl kihagyva:} other {{count} fájl kihagyva:}}","codex.applyOrRevertBanner.apply":"Alkalmazás","codex.applyOrRevertBanner.applyMessage":"Módosítások alkalmazása és folytatás helyileg?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ez a feladat ebben készült: {environment}, így nem lehetett tisztán alkalmazni.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"A módosítások itt készültek: {environment}, így nem lehetett tisztán alkalmazni.","codex.applyOrRevertBanner.reapply":"Alkalmazás újra","codex.applyOrRevertBanner.revert":"Visszaállítás","codex.applyOrRevertBanner.revertMessage":"Visszaállítod az alkalmazott módosításokat?","codex.applyResultsDialog.applied":"Tisztán alkalmazva ({count})","codex.applyResultsDialog.close":"Bezárás","codex.applyResultsDialog.conflicted":"Ütközik ({count})","codex.applyResultsDialog.noDetails":"Nincs elérhető fájlrészlet.","codex.applyResultsDialog.skipped":"Kihagyva ({count})","codex.applyResultsDialog.title":"Találatok alkalmazása","codex.archiveInfo":"Archivált csevegések megtekintése itt: {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Adatvezérlők","codex.archiveInfo.electron":"Archivált csevegések megtekintése itt: {settingsLink}","codex.archiveInfo.extension":"Archivált csevegések megtekintése a .codex mappádban.","codex.archiveInfo.settingsLink":"Beállítások","codex.banner.content.description":"Futtasd a feladatokat párhuzamosan, kövesd nyomon az előrehaladást bárhonnan, és vizsgáld meg a PR-okat AI segítségével.","codex.banner.content.headline":"A Codex mindet elvégzi.","codex.cloudTaskRow.archiveTask":"Feladat archiválása","codex.cloudTaskRow.confirmArchiveTask":"Megerősítés","codex.command.feedback":"Visszajelzés","codex.command.findInThread":"Keresés","codex.command.forceReloadSkills":"Kényszerített újratöltési készségek","codex.command.logOut":"Kilépés","codex.command.manageTasks":"Feladatok kezelése","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Vissza","codex.command.navigateForward":"Előre","codex.command.newThread":"Új témaszál","codex.command.nextThread":"Következő témaszál","codex.command.openFolder":"Mappa megnyitása","codex.command.openSkills":"Ugrás a készségekhez","codex.command.openThreadOverlay":"Témaszál kiemelése","codex.command.personalitySettings":"Személyiség","codex.command.previousThread":"Előző témaszál","codex.command.settings":"Beállítások","codex.command.toggleDiffPanel":"Diff panel be-/kikapcsolása","codex.command.toggleSidebar":"Oldalsáv be-/kikapcsolása","codex.command.toggleTerminal":"Terminál kapcsoló","codex.commandGroup.app":"App","codex.commandGroup.configure":"Konfigurálás","codex.commandGroup.navigation":"Navigáció","codex.commandGroup.panels":"Panelek","codex.commandGroup.skills":"Készségek","codex.commandGroup.thread":"Témaszál","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Nincs találat","codex.commandMenu.searchPlaceholder":"Parancsok megtekintése","codex.commandMenu.suggestedGroup":"Javasolt","codex.commandMenu.switchWorkspace":"Projektváltás","codex.commandMenu.title":"Parancsmenü","codex.common.retry":"Újrapróbálkozás","codex.composer.searchBranches":"Ágak keresése","codex.dialog.basic.body":"Ez egy egyszerű modális párbeszédablak, amely a Radix párbeszédablak köré épített csomagolónkat használja.","codex.dialog.basic.cancel":"Mégse","codex.dialog.basic.confirm":"Megerősítés","codex.dialog.basic.open":"Párbeszédablak megnyitása","codex.dialog.basic.title":"Minta párbeszédablak","codex.dialog.long.close":"Bezárás","codex.dialog.long.line":"{index} görgethető vonal a párbeszédablakban lévő hosszú tartalom bemutatásához.","codex.dialog.long.open":"Hosszú párbeszédablak megnyitása","codex.dialog.long.title":"Hosszú tartalmú párbeszédablak","codex.dialog.unstyled.body":"Ez a történet bemutatja, hogyan tudják a hívók teljes mértékben irányítani a párbeszéd tartalmának stílusát.","codex.dialog.unstyled.open":"Nyiss stílus nélküli párbeszédpanelt","codex.dialog.unstyled.title":"Stílus nélküli párbeszédpanel","codex.diff.openInEditorPrompt.openButton":"Megnyitás a Szerkesztőben","codex.diff.openInEditorPrompt.singleLine":"Ez a fájl túl nagy a megjelenítéshez","codex.diffView.failedToDecodeBase64Diff":"Nem sikerült dekódolni a base64 diffet","codex.diffView.filesChanged":"{fileCount, plural, one {# fájl módosítva} other {# fájl módosítva}}","codex.diffView.imagePreviewAlt":"Kép előnézete","codex.diffView.imagePreviewEmpty":"Nincs kép","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nincsenek diff adatok","codex.diffView.pdfPreview.nextPage":"Következő oldal","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Előző oldal","codex.diffView.pdfPreviewEmpty":"Nincs PDF-előnézet","codex.diffView.pdfPreviewError":"Nem lehet renderelni a PDF-előnézetet","codex.diffView.richPreviewDisable":"Gazdag előnézet letiltása","codex.diffView.richPreviewEnable":"Gazdag előnézet engedélyezése","codex.diffView.richPreviewLoading":"Előnézet betöltése…","codex.diffView.richPreviewToggle":"Gazdag előnézet be-/kikapcsolása","codex.diffView.switchToUnified":"Váltás egyesített diffre","codex.environmentSelector.noEnvironment":"Nincsenek környezetek","codex.environments.environmentSettings":"Környezeti beállítások","codex.environments.learnMore":"További információ","codex.environments.listError":"Nem sikerült betölteni a környezeteket.","codex.environments.noEnvironmentsFound":"Nem találhatók környezetek","codex.environments.searchError":"Nem sikerült keresni a környezeteket.","codex.errorBoundary.genericError":"Hoppá, hiba történt!","codex.errorBoundary.goHome":"Újrapróbálkozás","codex.file.patch.missing":"Nem lehet javítást készíteni ehhez a fájlhoz.","codex.gallery.automations.cwdLabel":"Projektek","codex.gallery.automations.nameLabel":"Név","codex.gallery.automations.namePlaceholder":"Feladat összefoglalása","codex.gallery.automations.promptLabel":"Utasítás","codex.gallery.automations.promptPlaceholder":"Írd le, mit kell tennie a Codexnek","codex.gallery.dialogs.automation.label":"Automatizálás párbeszéd","codex.gallery.dialogs.basic.body":"Használd ezt az elrendezést egyszerű visszaigazolásokhoz vagy rövid űrlapokhoz.","codex.gallery.dialogs.basic.cancel":"Mégse","codex.gallery.dialogs.basic.confirm":"Megerősítés","codex.gallery.dialogs.basic.label":"Normál párbeszédablak","codex.gallery.dialogs.basic.title":"Minta párbeszédablak","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Írd le a problémát","codex.gallery.dialogs.feedbackSubmission.bad":"Rossz eredmény","codex.gallery.dialogs.feedbackSubmission.bug":"Hiba","codex.gallery.dialogs.feedbackSubmission.good":"Jó eredmény","codex.gallery.dialogs.feedbackSubmission.includeLogs":"A jelenlegi Codex-munkamenetnaplók belefoglalása","codex.gallery.dialogs.feedbackSubmission.label":"Visszajelzés beküldése","codex.gallery.dialogs.feedbackSubmission.other":"Egyéb","codex.gallery.dialogs.feedbackSubmission.placeholder":"Írd le a problémát itt","codex.gallery.dialogs.feedbackSubmission.submit":"Beküldés","codex.gallery.dialogs.feedbackSubmission.title":"Visszajelzés","codex.gallery.dialogs.feedbackSuccess.body":"Visszajelzés feltöltve. Ha a probléma továbbra is fennáll, kérjük, nyiss egy GitHub hibát vagy említsd meg a témaszál azonosítóját egy már létező és nyitott hiba keretében:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Elvetés","codex.gallery.dialogs.feedbackSuccess.label":"Sikeres visszajelzés","codex.gallery.dialogs.feedbackSuccess.title":"Visszajelzés feltöltve","codex.gallery.dialogs.gitApplyResults.applied":"Tisztán alkalmazva (2)","codex.gallery.dialogs.gitApplyResults.close":"Bezárás","codex.gallery.dialogs.gitApplyResults.conflicted":"Ütközik (1)","codex.gallery.dialogs.gitApplyResults.label":"Találatok alkalmazása","codex.gallery.dialogs.gitApplyResults.title":"Találatok alkalmazása","codex.gallery.dialogs.gitPushError.body":"Küldd le a legújabb módosításokat, vagy kényszerítsd a leküldést, ha tudod, hogy a távoli előzmények biztonságosan felülírhatók.","codex.gallery.dialogs.gitPushError.cancel":"Mégse","codex.gallery.dialogs.gitPushError.force":"Kényszerített leküldés","codex.gallery.dialogs.gitPushError.label":"Leküldéses hiba","codex.gallery.dialogs.gitPushError.subtitle":"Az ágazatot az eredet/fő mögött van.","codex.gallery.dialogs.gitPushError.title":"Nem sikerült beküldeni a módosításokat","codex.gallery.dialogs.gitRevert.cancel":"Mégse","codex.gallery.dialogs.gitRevert.confirm":"Visszaállítás","codex.gallery.dialogs.gitRevert.label":"Módosítások visszaállítása","codex.gallery.dialogs.gitRevert.skip":"Ne kérdezd újra","codex.gallery.dialogs.gitRevert.subtitle":"Ez a művelet eltávolítja az összes módosítást.","codex.gallery.dialogs.gitRevert.title":"Visszaállítod a módosításokat?","codex.gallery.dialogs.longForm.label":"Hosszú párbeszédpanel","codex.gallery.dialogs.proseModal.body":"Ez a modális stílus hosszabb utasításokhoz, bevezetéshez vagy értéknövelt tartalmi blokkokhoz használatos.","codex.gallery.dialogs.proseModal.close":"Bezárás","codex.gallery.dialogs.proseModal.subtitle":"Hosszabb útmutatásokat vagy dokumentációkat itt oszthatsz meg.","codex.gallery.dialogs.proseModal.title":"Prózai modális","codex.gallery.dialogs.submitBlocked.label":"Beküldés blokkolva","codex.gallery.dialogs.submitBlocked.message":"Üzeneted nem küldhető el, mert a projekt nem elérhető.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Nem sikerült elküldeni az üzenetet","codex.gallery.dialogs.title":"Párbeszédablakok","codex.gallery.dropdown.filterPlaceholder":"Elemek szűrése","codex.gallery.dropdowns.actionRow":"Műveletsorok","codex.gallery.dropdowns.actionRow.disabled":"Letiltott művelet","codex.gallery.dropdowns.actionRow.primary":"Elsődleges művelet","codex.gallery.dropdowns.actionRow.secondary":"Másodlagos művelet","codex.gallery.dropdowns.actionRow.trigger":"Műveletek megjelenítése","codex.gallery.dropdowns.basic":"Alapvető legördülő menü","codex.gallery.dropdowns.basic.newFile":"Új fájl","codex.gallery.dropdowns.basic.newFolder":"Új mappa","codex.gallery.dropdowns.basic.openSettings":"Beállítások megnyitása","codex.gallery.dropdowns.basic.title":"Gyors műveletek","codex.gallery.dropdowns.basic.trigger":"Menü megnyitása","codex.gallery.dropdowns.basic.upload":"Feltöltés","codex.gallery.dropdowns.panel":"Panelfelület","codex.gallery.dropdowns.panel.apply":"Alkalmazás","codex.gallery.dropdowns.panel.body":"Tekintsd át a diffeket, és alkalmazd azokat a projektedben.","codex.gallery.dropdowns.panel.preview":"Előnézet","codex.gallery.dropdowns.panel.title":"Módosítások alkalmazása","codex.gallery.dropdowns.panel.trigger":"Panel megnyitása","codex.gallery.dropdowns.search":"Kereshető legördülő menü","codex.gallery.dropdowns.search.first":"Alpha csatorna","codex.gallery.dropdowns.search.second":"Béta csatorna","codex.gallery.dropdowns.search.third":"Jelölt kiadása","codex.gallery.dropdowns.search.trigger":"Elemek szűrése","codex.gallery.dropdowns.submenu":"Legördülő menü almenüvel","codex.gallery.dropdowns.submenu.optionA":"Alpha projekt","codex.gallery.dropdowns.submenu.optionB":"Béta projekt","codex.gallery.dropdowns.submenu.optionC":"Gamma projekt","codex.gallery.dropdowns.submenu.primary":"Tulajdonos hozzárendelése","codex.gallery.dropdowns.submenu.secondary":"Áthelyezés ide:","codex.gallery.dropdowns.submenu.tertiary":"Archiválás","codex.gallery.dropdowns.submenu.trigger":"Művelet kiválasztása","codex.gallery.dropdowns.title":"Legördülő menük","codex.gallery.inbox.automations.close":"Bezárás","codex.gallery.inbox.automations.popover.cardTitle":"Automatizálások kezelése","codex.gallery.inbox.automations.popover.dialogTitle":"Automatizálások kezelése","codex.header.settingsTooltip":"Beállítások","codex.hunk.patch.error":"Nem sikerült előkészíteni","codex.hunk.patch.missing":"Nem lehet javítást készíteni ehhez a részhez.","codex.hunk.patch.partialSuccess":"Részleges siker","codex.hunk.patch.revertError":"Nem sikerült eltávolítani","codex.hunk.patch.revertSuccess":"Sikeresen eltávolítva","codex.hunk.patch.success":"Sikeresen előkészítve","codex.legal.autonomy.details":"A további részletekért lásd {link}","codex.legal.autonomy.details.link":"Codex dokumentumok","codex.legal.autonomy.title":"Döntsd el, mennyi autonómiát akarsz biztosítani","codex.legal.backButton":"Vissza","codex.legal.cloud.taskOne.meta":"openai/agi · Október 12.","codex.legal.cloud.taskOne.title":"Adattár elmagyarázása egy új tervezőnek","codex.legal.cloud.taskThree.meta":"openai/codex · Október 8.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Sötét módú téma létrehozása","codex.legal.cloud.taskTwo.meta":"openai/agi · Október 9.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Bevezetési hiba kijavítása","codex.legal.continue.apikey":"Tovább","codex.legal.continueButton":"Következő","codex.legal.copilot.details":"A Copilot-tervezetet használja minden modellhíváshoz, számlázáshoz és díjkorlátozáshoz. A Codex-bővítmény használata mind a(z) {oaiTos} és a(z) {gitHubTos} feltételek hatálya alá tartozik.","codex.legal.copilot.gitHubTosLink":"GitHub Szolgáltatási feltételek","codex.legal.copilot.oaiTosLink":"OpenAI Codex szolgáltatási feltételek","codex.legal.copilot.title":"A GitHub Copilot biztosítja","codex.legal.mistakes.review":"Ellenőrizd az általa írt kódot és az általa futtatott parancsokat","codex.legal.mistakes.title":"A Codex hibázhat","codex.legal.powered.details":"A csomagod árlimitjeit és a {link}t használja","codex.legal.powered.details.link":"betanítási adatbeállításokat","codex.legal.powered.title":"A ChatGPT-fiókod biztosítja","codex.legal.step.cloud.subtitle":"Küldd el a feladatokat a Codexnek, hogy azok háttérben fussanak, így továbbra is koncentrálhass és gyorsabban haladhass.","codex.legal.step.cloud.title":"Codex kiadása a felhőben","codex.legal.step.intro.subtitle":"A Codex közvetlenül az adattárban navigál, szerkeszt, parancsokat futtat és teszteket hajt végre. A ChatGPT-fiókoddal működik.","codex.legal.step.intro.title":"Codex az IDE-dben","codex.legal.step.todo.subtitle":"Írj egy TEENDŐ megjegyzést, és egyetlen kattintással alakítsd át Codex feladattá.","codex.legal.step.todo.title":"Alakíts át TEENDŐKET Codex feladatokká","codex.legal.todo.heading":"// TEENDŐ: séma végrehajtása","codex.localConversation.closeImagePreview":"Kép előnézetének bezárása","codex.localConversation.userImageAttachment":"Felhasználói csatolmány","codex.localTaskRow.archiveTask":"Témaszál archiválása","codex.localTaskRow.awaitingApproval":"Jóváhagyásra vár","codex.localTaskRow.awaitingResponse":"Válaszra vár","codex.localTaskRow.confirmArchiveTask":"Megerősítés","codex.loggedOut.apiKeyPrompt.cancel":"Mégse","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"API-kulcs beszerzése","codex.loggedOut.apiKeyPrompt.inputLabel":"Add meg az OpenAI API-kulcsod","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Az API-kulccsal letiltott felhőalapú feladatok","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"A Copilot és az API-kulcs segítségével letiltott felhőalapú feladatok","codex.loggedOut.signIn":"Lépj be a ChatGPT-vel","codex.loggedOut.signIn.cancel":"Bejelentkezés megszakítása","codex.loggedOut.signInWithCopilot":"Lépj be a GitHub Copilottal","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API-kulcs beszerzése","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} eszköz","codex.mcpTool.collapsedLabel.verb.called":"Hívva","codex.mcpTool.collapsedLabel.verb.calling":"Hívás","codex.mcpTool.embeddedResource.contentLabel":"Tartalom","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-típus","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Az eszköz nem adott vissza tartalmat","codex.mcpTool.rawPayloadHeading":"Nyers {server}.{tool} eszközhívási hasznos teher","codex.menu.recent":"Legutóbbi","codex.menu.seeAllHistory":"Összes előzmény megtekintése","codex.modelCapacityBanner.headline.noReset":"{modelName} jelenleg teljes kapacitással működik. Később próbálkozz újra, vagy kezdj új beszélgetést egy másik modellel.","codex.modelCapacityBanner.headline.withReset":"{modelName} jelenleg teljes kapacitással működik. Kérjük, próbálkozz újra {resetDate} múlva, vagy kezdj új beszélgetést egy másik modellel.","codex.modelCapacityBanner.title":"A kiválasztott modell kapacitása kimerült","codex.patch.change.contentsDeleted":"Tartalom törölve","codex.patch.change.created":"Létrehozva","codex.patch.change.created-file":"Fájl létrehozva","codex.patch.change.creating":"Létrehozás","codex.patch.change.deleted":"Törölve","codex.patch.change.deleted-file":"Fájl törölve","codex.patch.change.deleting":"Törlés","codex.patch.change.edited":"Szerkesztve","codex.patch.change.edited-file":"Szerkesztett fájl","codex.patch.change.editing":"Szerkesztés","codex.patch.change.noChanges":"Nincsenek módosítások","codex.patch.change.rejected-add":"Elutasítva","codex.patch.change.rejected-delete":"Elutasítva","codex.patch.change.rejected-edit":"Elutasítva","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} / {total} feladat teljesítve","codex.plan.todoListCreated":"{total} feladattal létrehozott feladatlisták","codex.profileDropdown.apiKeyAuth":"Bejelentkezve API-kulccsal","codex.profileDropdown.codexSettings":"Codex beállítások","codex.profileDropdown.copilotAuth":"Bejelentkezve a Copilottal","codex.profileDropdown.defaultAccountTitle":"Alapértelmezett fiók","codex.profileDropdown.enterBehavior":"{modifierSymbol}+ Enter billentyűvel küldhetsz hosszú utasításokat","codex.profileDropdown.enterBehaviorError":"Nem sikerült frissíteni a beállítást","codex.profileDropdown.getPlus":"Bővíts a nagyobb korlátokért","codex.profileDropdown.keyboardShortcuts":"Billentyűparancsok","codex.profileDropdown.language":"Nyelv","codex.profileDropdown.languageDefault":"Automatikus észlelés","codex.profileDropdown.languageSearchPlaceholder":"Nyelvek keresése","codex.profileDropdown.languageUpdateError":"Nem sikerült frissíteni a nyelvet","codex.profileDropdown.logOut":"Kilépés","codex.profileDropdown.mcp":"MCP-beállítások","codex.profileDropdown.openConfigToml":"config.toml megnyitása","codex.profileDropdown.openConfigToml.wsl":"config.toml megnyitása WSL környezetben","codex.profileDropdown.openExtensionSettings":"Beállítások megnyitása","codex.profileDropdown.openMcpSettings":"MCP-beállítások megnyitása","codex.profileDropdown.openOnStartup":"Megnyitás indításkor","codex.profileDropdown.openOnStartupError":"Nem sikerült frissíteni a beállítást","codex.profileDropdown.openSkillsSettings":"Készségbeállítások megnyitása","codex.profileDropdown.personalAccountTitle":"Személyes fiók","codex.profileDropdown.queueFollowUps":"Sorban álló utánkövetések","codex.profileDropdown.queueFollowUpsError":"Nem sikerült frissíteni a beállítást","codex.profileDropdown.readDocs":"Dokumentumok olvasása","codex.profileDropdown.readSkillsDocs":"Dokumentumok olvasása","codex.profileDropdown.runInWsl":"Futtatás WSL-ben","codex.profileDropdown.runInWslError":"Nem sikerült frissíteni a beállítást","codex.profileDropdown.runInWslTooltip":"A Codex-et a WSL-en belül futtatod. Javasolt a jobb sandbox biztonság és a jobb teljesítmény érdekében.","codex.profileDropdown.settings":"IDE-beállítások","codex.profileDropdown.settingsPage":"Beállítások","codex.profileDropdown.signInWithOpenAI":"Lépj be a ChatGPT-vel","codex.profileDropdown.skills":"Készségbeállítások","codex.profileDropdown.switchToCopilotAccount":"Copilot-fiók használata","codex.profileDropdown.switchToOpenAIAccount":"OpenAI-fiók használata","codex.profileDropdown.todoCodelens":"TEENDŐ-megjegyzések kijavítása","codex.profileDropdown.todoCodelensError":"Nem sikerült frissíteni a beállítást","codex.profileDropdown.windowsDocumentation":"Windows dokumentum","codex.profileFooter.signedInFallback":"Beállítások","codex.profileFooter.upgrade":"Bővítés","codex.recentTasksMenu.clearSearch":"Keresés törlése","codex.recentTasksMenu.cloud":"Felhőfeladatok","codex.recentTasksMenu.count":"{count, plural, =0 {Nincs folyamatban lévő feladat} one {# feladat folyamatban} other {# feladat folyamatban}}","codex.recentTasksMenu.empty":"Még nincsenek témaszálak","codex.recentTasksMenu.errorCloud":"Nem sikerült betölteni a feladatokat.","codex.recentTasksMenu.errorCloud.inline":"Nem sikerült betölteni a felhőfeladatokat.","codex.recentTasksMenu.filterAll":"Összes","codex.recentTasksMenu.filterCloudTasks":"Felhőfeladatok szűrése","codex.recentTasksMenu.filterTooltip":"Feladatok szűrése környezet szerint","codex.recentTasksMenu.local":"Helyi feladatok","codex.recentTasksMenu.recent":"Összes feladat","codex.recentTasksMenu.search":"Legutóbbi feladatok keresése","codex.recentTasksMenu.searchEmpty":"Nincs találat","codex.recentTasksMenu.tooltip":"Feladatelőzmények","codex.recentTasksMenu.trigger":"Legutóbbi feladatok. {count, plural, one {# folyamatban} other {# folyamatban}}","codex.remoteConversation.applyDiff.applyCta":"Módosítások alkalmazása","codex.remoteConversation.applyDiff.dropdownTitle":"Módosítások alkalmazása a helyi ágazatra","codex.remoteConversation.applyDiff.revertCta":"Módosítások visszaállítása","codex.remoteConversation.closeImagePreview":"Kép előnézetének bezárása","codex.remoteConversation.codexCloudTask":"Egy <u>Codex felhő</u> feladatot tekintesz meg","codex.remoteConversation.errorWithMessage":"Hiba: {message}","codex.remoteConversation.loadingImage":"Kép betöltése","codex.remoteConversation.openInWeb":"Megnyitás weben","codex.remoteConversation.streaming":"Kezdő lépések","codex.remoteConversation.turnFailed":"Hiba történt a feladat során","codex.remoteConversation.turnTab.loading":"{number} megkísérlése","codex.remoteConversation.turnTab.title":"{number} megkísérlése","codex.remoteConversation.userImageAttachment":"Felhasználói csatolmány","codex.remoteConversation.viewPreviousTurns":"Megnyitás weben","codex.remoteConversation.viewPreviousTurns.buttonText":"Megnyitás","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Megnyitás weben","codex.review.copyGitApplyCommand":"Git apply parancs másolása","codex.review.copyGitApplyCommand.toast":"Git apply parancs másolva a vágólapra","codex.review.diffTooLarge.description":"Ez a diff túl nagy ahhoz, hogy megjelenjen az Áttekintésben.","codex.review.diffTooLarge.title":"A diff túl nagy a megjelenítéshez","codex.review.expandOrCollapseDiffButton.collapse":"Összes diff összecsukása","codex.review.expandOrCollapseDiffButton.expand":"Összes diff kibővítése","codex.review.expandOrCollapseDiffMenu.collapse":"Összes diff összecsukása","codex.review.expandOrCollapseDiffMenu.expand":"Összes diff kibontása","codex.review.fileSearch.clear":"Fájlszűrő törlése","codex.review.fileSearch.empty":"Nincs olyan fájl, amely megfelelne az aktuális szűrőnek.","codex.review.fileSearch.label":"Fájlok szűrése","codex.review.fileSearch.placeholder":"Fájlok szűrése...","codex.review.filesChanged":"{num, plural, =0 {Nincsenek módosítva fájlok} one {# fájl módosítva} other {# fájl módosítva}}","codex.review.find.loadMore":"További találatok betöltése","codex.review.fullReview.hideFileTree":"Fájlfa elrejtése","codex.review.fullReview.showFileTree":"Fájlfa megjelenítése","codex.review.header.moreOptions":"Áttekintési lehetőségek","codex.review.largeDiff.banner":"Nagy diff észlelve - egyszerre egy fájlt megjelenítve.","codex.review.loadFullFiles.disable":"Ne tölts be teljes fájlokat","codex.review.loadFullFiles.enable":"Tölts be teljes fájlokat","codex.review.noDiff":"A fájlmódosítások itt jelennek meg","codex.review.noDiff.gitInit.createRepository":"Git adattár létrehozása","codex.review.noDiff.gitInit.creating":"Létrehozás…","codex.review.noDiff.gitInit.error":"Git inicializálása sikertelen: {message}","codex.review.noDiff.gitInit.success":"Git adattár létrehozva","codex.review.noDiff.gitRepoRequired.description":"A projekten végzett módosítások nyomon követése és visszavonása","codex.review.noDiff.gitRepoRequired.title":"Git adattár létrehozása","codex.review.noDiff.orNoLongerAvailable":"vagy a legújabb diffek már nem elérhetők","codex.review.noDiff.reverted":"Az utolsó forduló vissza lett állítva","codex.review.noDiff.revertedOrCommitted":"Az utolsó fordulat vagy vissza lett állítva, vagy véglegesítve lett","codex.review.refreshGitQueries":"Frissítés","codex.review.revert.file.error":"Nem sikerült visszaállítani a következőket: {path}","codex.review.revert.file.partialSuccess":"Részlegesen visszaállítva a következők: {path}","codex.review.revert.file.success":"{path} visszaállítva","codex.review.revert.hunk.error":"Nem sikerült visszaállítani {hunkNumber}. részt a következőben: {path}","codex.review.revert.hunk.partialSuccess":"Részlegesen visszaállított {hunkNumber}. rész a következőben: {path}","codex.review.revert.hunk.success":"Visszaállított {hunkNumber}. rész a következőben: {path}","codex.review.revert.section.error":"Nem sikerült visszaállítani a pontot","codex.review.revert.section.partialSuccess":"Részlegesen visszaállított szakasz","codex.review.revert.section.success":"Visszaállított pont","codex.review.revertDialog.cancel":"Mégse","codex.review.revertDialog.confirm":"Megerősítés","codex.review.revertDialog.message":"Ez a művelet eltávolítja az összes módosítást.","codex.review.revertDialog.skip":"Ne kérdezd újra","codex.review.revertDialog.title":"Visszaállítod a módosításokat?","codex.review.richPreview.disable":"Részletes előnézet letiltása","codex.review.richPreview.enable":"Részletes előnézet engedélyezése","codex.review.source.cloud":"Felhő módosítások","codex.review.source.local.all":"Összes ágmódosítás","codex.review.source.local.lastTurn":"Legutóbbi forduló módosításai","codex.review.source.local.uncommitted":"Be nem küldött módosítások","codex.review.source.worktree":"Be nem küldött worktree módosítások","codex.review.stageFilter.empty.staged.description":"Szerkesztések elfogadása az előkészítésükhöz","codex.review.stageFilter.empty.staged.title":"Nincs előkészített módosítás","codex.review.stageFilter.empty.unstaged.description":"A kódmódosítások itt jelennek meg","codex.review.stageFilter.empty.unstaged.title":"Nincs nem előkészített módosítás","codex.review.stageFilter.staged":"Előkészített","codex.review.stageFilter.staged.count":"Előkészített · {count}","codex.review.stageFilter.unstaged":"Nem előkészített","codex.review.stageFilter.unstaged.count":"Nem előkészített · {count}","codex.review.switchToSplit":"Váltás felosztott diffre","codex.review.switchToUnified":"Váltás egyesített diffre","codex.review.toggleDiffView":"Diff megtekintés be-/kikapcsolása","codex.review.wordDiffs.disable":"Szódiffek letiltása","codex.review.wordDiffs.enable":"Szódiffek engedélyezése","codex.review.wrap.disable":"Sortörés letiltása","codex.review.wrap.enable":"Sortörés engedélyezése","codex.section.patch.missing":"Nem lehet javítást készíteni ehhez a ponthoz.","codex.shell.collapse":"Shell összecsukása","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Másolt shell-tartalmak","codex.shell.copy.copyTooltip":"Shell-tartalom másolása","codex.shell.copyCommand":"Parancs másolása","codex.shell.copyOutput":"Kimenet másolása","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Shell kibontása","codex.shell.name":"Shell","codex.shell.noOutput":"Nincs kimenet","codex.signInFailed.message":"Nem sikerült bejelentkezni: {rawMessage}","codex.stories.toast.show":"Köszöntő megjelenítése","codex.stories.tooltip.basic":"Ez egy eszköztipp","codex.stories.tooltip.hoverMe":"Vigyél át","codex.stories.tooltip.largerOffset":"Ennek az eszköztippnek nagy az eltolása","codex.stories.tooltip.offsetButton":"Nagyobb eltolás","codex.stories.tooltip.shortcutButton":"Gyorsparanccsal","codex.stories.tooltip.withShortcut":"Terminál kapcsoló","codex.taskRow.title":"Új témaszál","codex.taskRowLayout.confirm":"Megerősítés","codex.threadFindBar.chatFilter":"Csevegés keresése","codex.threadFindBar.close":"Keresés bezárása","codex.threadFindBar.diffFilter":"Diffek keresése","codex.threadFindBar.label":"Keresés témaszálban","codex.threadFindBar.nextResult":"Következő találat","codex.threadFindBar.noResults":"0 találat","codex.threadFindBar.placeholder":"Témaszál keresése folyamatban...","codex.threadFindBar.placeholder.extension":"Témaszál keresése folyamatban...","codex.threadFindBar.placeholder.review":"Diffek keresése...","codex.threadFindBar.placeholder.review.extension":"Diffek keresése...","codex.threadFindBar.previousResult":"Előző találat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fájl módosítva} other {# fájl módosítva}}","codex.unifiedDiff.inlineLargeFile":"Túl nagy ahhoz, hogy inline-ban megjelenjen","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Visszavonás","codex.unifiedDiff.revertPatchError":"Nem sikerült visszaállítani a módosításokat","codex.unifiedDiff.revertPatchSuccess":"Módosítások visszaállítva","codex.unifiedDiff.reviewChangesSuffix":"módosítások","codex.unifiedDiff.reviewShort":"Áttekintés","codex.unifiedDiff.viewDiffTooltip":"Áttekintés","codex.upsellBanner.business.headline":"Ha most több hozzáférést szeretnél, küldj kérést az adminisztrátorodnak, vagy várj eddig: {resetDate}.","codex.upsellBanner.cbp.headline":"Ha most szeretnél több hozzáférést kapni, küldj kérelmet az adminisztrátorodnak.","codex.upsellBanner.cta.addCredits":"Kreditek hozzáadása","codex.upsellBanner.cta.upgradeAccount":"Bővítés","codex.upsellBanner.cta.viewUsage":"Használat megtekintése","codex.upsellBanner.freeOrGo.headline":"Az árlimited visszaáll ekkor: {resetDate}. A Codex használatának folytatásához bővíts Plusra még ma.","codex.upsellBanner.general.headline":"Az árlimited visszaáll ekkor: {resetDate}.","codex.upsellBanner.general.title":"Kifogytál a Codex üzenetekből","codex.upsellBanner.plus.headline":"Az árlimited visszaáll ekkor: {resetDate}. A Codex használatának folytatásához adj hozzá krediteket vagy bővíts Prora még ma.","codex.upsellBanner.pro.headline":"Az árlimited visszaáll ekkor: {resetDate}. Adj hozzá krediteket a Codex folytatásához.","codex.userMessage.autoResolveSync":"Ütközések automatikus megoldása","codex.userMessage.commentCount":"{count, plural, one {# hozzászólás} other {# hozzászólás}}","codex.userMessage.copiedAriaLabel":"Másolva","codex.userMessage.copiedTooltip":"Másolva","codex.userMessage.copyAriaLabel":"Üzenet másolása","codex.userMessage.copyTooltip":"Másolás","codex.userMessage.implementPlan":"Terv megvalósítása","codex.userMessage.noContent":"(Nincs tartalom)","codex.userMessage.priorConversation":"Beszélgetés előtti referenciák","codex.userMessage.reviewMode":"Áttekintés mód","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"ehhez: {query}","codex.webSearch.summary.verb.completed":"Keresve a weben","codex.webSearch.summary.verb.inProgress":"Keresés a weben","codex.windowsInstallWslBanner.dismiss":"Elvetés","codex.windowsInstallWslBanner.installWslCta":"Sandbox engedélyezése","codex.windowsInstallWslBanner.learnMore":"További információ","codex.windowsSandboxBanner.content":"Az ügynök mód egy kísérleti sandboxot használ Windows rendszeren, hogy korlátozza a fájlrendszerhez és a hálózathoz való hozzáférést. {sandboxLink}","codex.windowsSandboxBanner.title":"Sandbox engedélyezése az Ügynök módhoz","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows beállítások","codexUpgradeModal.body":"A Codex mostantól a GPT-5.2-Codex, a legújabb agentikus kódolási modellünkkel működik. A kódolásban {link}; tovább javul a GPT-5.2-vel.","codexUpgradeModal.close":"Bezárás","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"okosabb és gyorsabb","codexUpgradeModal.title":"A Codex frissítést kapott","codexUpgradeModal.tryNewModel":"Próbáld ki a GPT-5.2-Codexet most","codexUpgradeModal.useExistingModel":"Folytatás a jelenlegi modellel","commentAttachments.numComments":"{count, plural, one {# hozzászólás} other {# hozzászólás}}","commentAttachments.removeAriaLabel":"Hozzászólás-csatolmányok eltávolítása","common.close":"Bezárás","composer.addContext.openFilePickerError":"Nem sikerült megnyitni a fájlválasztót","composer.addContextDropdown.ariaLabel":"Fájlok és egyebek hozzáadása","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Fájlok és egyebek hozzáadása","composer.addPhotosAndFiles":"Fotók és fájlok hozzáadása","composer.atMentionList.emptyQuery":"Írj be a fájlok kereséséhez","composer.atMentionList.loading":"Keresés folyamatban…","composer.atMentionList.noResults":"Nincs találat","composer.attemptsSelector.option":"{count, plural, one {# verzió} other {# verzió}}","composer.attemptsSelector.tooltip":"A Codex által végrehajtott párhuzamos kísérletek száma","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Leállítás","composer.cloudFollowUp.cloud":"Felhő","composer.cloudFollowUp.local":"Helyi","composer.cloudFollowUp.whereRun":"Hol fusson ez az utánkövetés?","composer.cloudTaskCreationError":"Hiba a felhőfeladat létrehozásakor","composer.cloudTaskError":"Hiba a feladat létrehozásakor","composer.contextWindow.autoCompactionTooltipLine1":"A Codex automatikusan tömöríti a kontextust","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Kontextusablak","composer.contextWindowUsageStatusFull":"{usage}%-ban megtelt","composer.contextWindowUsageStatusLeft":"{usage}% felhasználva ({remaining}% maradt)","composer.contextWindowUsageTooltip":"{usedTokens} / {contextWindow} ezer token felhasználva","composer.customCliTooltip":"Egyéni CLI végrehajtható fájl használata","composer.dictation.aria":"Diktálás","composer.dictation.cancel.aria":"Diktálás leállítása","composer.dictation.cancel.tooltip":"Diktálás leállítása","composer.dictation.startError":"Nem lehet elindítani a diktálást","composer.dictation.submit.aria":"Átírás és küldés","composer.dictation.submit.tooltip":"Átírás és küldés","composer.dictation.tooltip":"Tartsd a diktáláshoz","composer.dictation.transcribeError":"Nem lehet átírni a hangot","composer.dictation.unsupported":"A diktálás nem érhető el ezen az eszközön","composer.dropOverlay.holdShift":"Tartsd lenyomva a {key} gombot az ejtéshez","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Új létrehozása","composer.environmentSelector.error":"Hiba a környezetek betöltése során","composer.environmentSelector.goBack":"Vissza az összeállítóhoz","composer.environmentSelector.title":"Válassz környezetet","composer.environmentSelector.tooltip":"Felhőkörnyezet kiválasztása","composer.feedbackSlashCommand.title":"Visszajelzés","composer.filePicker.selectFile":"Válassz egy fájlt","composer.filePicker.selectFiles":"Fájlok kiválasztása","composer.followerTooltip":"A folytatáshoz térj vissza az ablakhoz, ahol ez a beszélgetés megkezdődött.","composer.footer.branchSwitch.checkoutError":"Nem sikerült ágazatot váltani: {message}","composer.footer.branchSwitch.createAndCheckout":"Új ágazat létrehozása és frissítése...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Küldd be a módosításokat az új ágazat létrehozásához és ellenőrzéséhez","composer.footer.branchSwitch.createBranchError":"Nem sikerült létrehozni az ágazatot: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Ágazat neve","composer.footer.branchSwitch.createDialog.branchExistsError":"Az ágazat már létezik.","composer.footer.branchSwitch.createDialog.close":"Bezárás","composer.footer.branchSwitch.createDialog.createAndCheckout":"Létrehozás és ellenőrzés","composer.footer.branchSwitch.createDialog.placeholder":"új ágazat","composer.footer.branchSwitch.createDialog.title":"Ágazat létrehozása és ellenőrzése","composer.footer.branchSwitch.createDialog.trailingSlashError":"Az ágazat neve nem végződhet a következővel: /.","composer.footer.branchSwitch.tooltip":"Ágazat váltása","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Küldd be a módosításokat itt: {fileCount, plural, one {# fájl} other {# fájl}} a(z) {branchName} ellenőrzéséhez.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Vállalás","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"módosítások itt: {fileCount, plural, one {# fájl} other {# fájl}} a(z) {branchName} ellenőrzéséhez.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Mégse","composer.footer.branchSwitch.uncommittedDialog.commit":"Beküldés és ágazatváltás...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"A következő fájlokban végzett módosításait az ellenőrzés felülírná:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Küldd be a módosításaid a folytatáshoz","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"a kiválasztott ágazat","composer.footer.branchSwitch.uncommittedDialog.title":"Küldd be a módosításokat az ágazatváltáshoz","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nincs beküldve: {fileCount, plural, one {# fájl} other {# fájl}}","composer.forkSlashCommand.description":"Ezt a szálat helyezd át a helyi vagy egy új worktreebe","composer.forkSlashCommand.option.local.description":"Folytatás új helyi témaszálban","composer.forkSlashCommand.option.local.title":"Áthelyezés helyire","composer.forkSlashCommand.option.worktree.description":"Folytatás új worktree-n","composer.forkSlashCommand.option.worktree.title":"Áthelyezés új worktree-be","composer.forkSlashCommand.title":"Elágazás","composer.imageInputsUnsupported":"Ez a modell nem támogatja a képbemeneteket. Próbálj ki egy másik modellt.","composer.imageUploadFailed":"Nem sikerült feltölteni a képet","composer.includeIdeContextDropdown":"IDE kontextus hozzáadása","composer.includeIdeContextDropdown.ariaLabel":"IDE kontextus hozzáadása","composer.localCwdDropdown.addWorkspaceRoot":"Új projekt hozzáadása","composer.localCwdDropdown.noActiveRoot":"Válaszd ki a projekted","composer.localCwdDropdown.noResults":"Nem találhatók mappák","composer.localCwdDropdown.title":"Válaszd ki a projekted","composer.localTaskError":"Hiba a beszélgetés indításakor","composer.mcpSlashCommand.description":"MCP szerverállapot megjelenítése","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nincs hitelesítve","composer.mcpStatus.authOauth":"Hitelesítve (OAuth)","composer.mcpStatus.authToken":"Hitelesítve (API-kulcs)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Bezárás","composer.mcpStatus.disabled":"Letiltva","composer.mcpStatus.emptyLabel":"Szerverek:","composer.mcpStatus.emptyValue":"Nincsenek konfigurálva MCP szerverek","composer.mcpStatus.enabled":"Engedélyezve","composer.mcpStatus.errorLabel":"Állapot:","composer.mcpStatus.errorValue":"Nem lehet betölteni az MCP állapotot","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Ügynök","composer.mode.agentMode.auto.dropdownLabel":"Ügynök","composer.mode.agentMode.auto.optionLabel":"Ügynök","composer.mode.agentMode.changePermission":"Módváltás","composer.mode.agentMode.custom":"Egyéni","composer.mode.agentMode.custom.dropdownLabel":"Egyéni","composer.mode.agentMode.custom.option":"Egyéni (config.toml)","composer.mode.agentMode.custom.optionLabel":"Egyéni (config.toml)","composer.mode.agentMode.customInfo.cancel":"Mégse","composer.mode.agentMode.customInfo.cli":"Ezeket a beállításokat a CLI-ből vagy a fájl közvetlen szerkesztésével állíthatod be.","composer.mode.agentMode.customInfo.confirm":"Egyéni mód használata","composer.mode.agentMode.customInfo.description":"Az egyéni mód az itt meghatározott jóváhagyási és sandbox-irányelveket alkalmazza: <link>config.toml</link> fájl.","composer.mode.agentMode.customInfo.docs":"További információk a jóváhagyási és sandbox-irányelvek konfigurálásáról: <link>execution environment dokumentum</link>.","composer.mode.agentMode.customInfo.refresh":"Bármely változtatás a következő ügynök futtatásakor lép hatályba.","composer.mode.agentMode.customInfo.title":"Hogyan működik az egyéni mód","composer.mode.agentMode.fullAccess":"Ügynök (teljes hozzáférés)","composer.mode.agentMode.fullAccess.dropdownLabel":"Ügynök (teljes hozzáférés)","composer.mode.agentMode.fullAccess.optionLabel":"Ügynök (teljes hozzáférés)","composer.mode.agentMode.fullAccessConfirm.caution":"Legyél óvatos, amikor teljes hozzáférést engedélyezel. Ez jelentősen növeli az adatvesztés, az adatok kiszivárgása vagy a váratlan viselkedés kockázatát.","composer.mode.agentMode.fullAccessConfirm.confirm":"Igen, mindenképp folytatom","composer.mode.agentMode.fullAccessConfirm.description":"Ha a Codex teljes hozzáféréssel fut, akkor a felhasználó jóváhagyása nélkül bármelyik fájlt szerkesztheti a számítógépen, és hálózati parancsokat futtathat.","composer.mode.agentMode.fullAccessConfirm.goBack":"Mégse","composer.mode.agentMode.fullAccessConfirm.title":"Teljes hozzáférés megadása?","composer.mode.agentMode.readOnly":"Csevegés","composer.mode.agentMode.readOnly.dropdownLabel":"Csevegés","composer.mode.agentMode.readOnly.optionLabel":"Csevegés","composer.mode.agentMode.tooltip":"Módváltás","composer.mode.agentMode.tooltip.auto":"Fájlok olvasása és szerkesztése és parancsok futtatása.","composer.mode.agentMode.tooltip.custom":"Használd a config.toml fájlban meghatározott legújabb jóváhagyási és sandbox-irányelveket.","composer.mode.agentMode.tooltip.fullAccess":"A Codex a projekten kívüli fájlokat is szerkesztheti, és hálózati hozzáféréssel parancsokat futtathat. Használatakor legyél óvatos.","composer.mode.agentMode.tooltip.readOnly":"A fájlok szerkesztéséhez és a parancsok futtatásához jóváhagyás szükséges.","composer.mode.cloud.tooltip":"Munkavégzés felhőkörnyezetben","composer.mode.contactAdmin":"A további hozzáférésért fordulj az adminisztrátorodhoz","composer.mode.local":"Helyi","composer.mode.local.learnMore":"További információ","composer.mode.local.model.custom":"Egyéni","composer.mode.local.model.loadingModel":"Modell betöltése","composer.mode.local.model.selecrReasoningEffort":"Indoklás kiválasztása","composer.mode.local.model.selectModel":"Modell kiválasztása","composer.mode.local.model.tooltip":"Modell kiválasztása","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Magas","composer.mode.local.reasoning.low.label":"Alacsony","composer.mode.local.reasoning.medium.label":"Közepes","composer.mode.local.reasoning.minimal.label":"Minimális","composer.mode.local.reasoning.none.label":"Nincs","composer.mode.local.reasoning.xhigh.label":"Extra magas","composer.mode.localRemoteWhereRun":"A feladat futtatása helyének kiválasztása","composer.mode.newTask.header":"Folytatás itt","composer.mode.rateLimit.day":"{days} n","composer.mode.rateLimit.heading":"Hátralévő árlimit","composer.mode.rateLimit.hour":"{hours} ó","composer.mode.rateLimit.minute":"{minutes} p","composer.mode.rateLimit.modelSectionLabel":"{modelName} limit:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {heti limit} other {{weeks} heti limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Hetente} other {{weeks} hét}}","composer.mode.remote.connectToCloud":"Csatlakozás a Codex webhez","composer.mode.remote.connectToCloudDisabledTooltip":"Jelentkezz be, hogy ellenőrizd jogosultságod az ingyenes és biztonságos ChatGPT tanároknak munkaterülethez.","composer.mode.remote.selectEnvironment":"Válassz környezetet","composer.mode.remote.sendToCloud":"Küldés felhőre","composer.mode.remote.setupViaWeb":"Állíts be egy környezetet a Codex webbel","composer.mode.runInCloud":"Felhő","composer.mode.runInCloudWithEnvironment":"Felhő · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Munkavégzés felhőkörnyezetben","composer.mode.segmentedToggle.local.tooltip":"Munkavégzés helyi projektben","composer.mode.segmentedToggle.worktree.tooltip":"Munkavégzés párhuzamos worktree-n","composer.mode.upgradeToPlus":"Bővítés a Plusra","composer.mode.upgradeToPro":"Bővítés a Pro-ra","composer.mode.workLocally":"Helyi projekt","composer.mode.workLocally.currentBranchFallback":"az ágazatod","composer.mode.workLocally.tooltip":"Munkavégzés a következőn: {branchName}","composer.mode.worktree":"Új worktree","composer.mode.worktree.submoduleWarning":"Ez a repo git almodulokat tartalmaz. A munkakönyvtár létrehozása sikertelen lehet","composer.mode.worktree.tooltip":"Párhuzamos munkavégzéshez készíts másolatot a helyi projektedről","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"A beszélgetés közbeni modellváltás rontja a teljesítményt.","composer.newChat.heading.browser":"Mit kódoljunk legközelebb?","composer.permissionsDropdown.custom.label":"Egyéni (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Egyéni (config.toml)","composer.permissionsDropdown.default.label":"Alapértelmezett engedélyek","composer.permissionsDropdown.default.optionLabel":"Alapértelmezett engedélyek","composer.permissionsDropdown.fullAccess.disabled":"A teljes hozzáférés a requirements.toml által letiltva","composer.permissionsDropdown.trigger.tooltip":"Engedélyek módosítása","composer.personalitySlashCommand.description.friendly":"Szívélyes, együttműködő és hasznos","composer.personalitySlashCommand.description.pragmatic":"Pontos, feladatra összpontosító, közvetlen","composer.personalitySlashCommand.label.friendly":"Barátságos","composer.personalitySlashCommand.label.pragmatic":"Pragmatikus","composer.personalitySlashCommand.notApplicableSuffix":"(Nem vonatkozik a jelenlegi modellre)","composer.personalitySlashCommand.title":"Személyiség","composer.placeholder.cloudFollowUp.directFollowUp":"A felhőfeladat nyomon követése","composer.placeholder.cloudFollowUp.local":"Hozz létre egy új helyi feladatot, amely hivatkozik erre a felhőfeladatra","composer.placeholder.cloudFollowUp.workingTree":"Hozz létre egy új felhőfeladatot, amely tartalmazza a jelenlegi kódot, és hivatkozik erre a feladatra","composer.placeholder.localFollowUp.cloud":"Követés egy új felhőfeladatban","composer.placeholder.localFollowUp.locally":"Követési módosítások kérése","composer.placeholder.newTask.cloud":"Kérdezz a Codextől bármit a felhőben","composer.placeholder.newTask.doAnything":"Kérdezz a Codextől bármit","composer.placeholder.newTask.locally":"Kérdezz bármit a Codex-től, @ fájlok hozzáadásához, / parancsokhoz","composer.planModeDropdown":"Tervezési mód","composer.planModeDropdown.ariaLabel":"Tervezési mód","composer.planModeIndicator":"Csomag","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Tervezési mód kikapcsolása","composer.planSlashCommand.enableDescription":"Tervezési mód bekapcsolása","composer.planSlashCommand.title":"Tervezési mód","composer.priorContext.label":"Előző kontextus","composer.priorContext.removeAriaLabel":"Előző kontextus eltávolítása","composer.queuedMessage.delete":"Sorban álló üzenet törlése","composer.queuedMessage.edit":"Üzenet szerkesztése","composer.queuedMessage.more":"Sorban álló üzenetműveletek","composer.queuedMessage.sendNow":"Küldés most","composer.queuedMessage.turnOff":"Sorban állás kikapcsolása","composer.reasoningEffort.local.reasoning.tooltip":"Indoklási hatékonyság kiválasztása","composer.remote.branchStartingPoint":"Melyik ágazatból induljon a feladat?","composer.remote.branchesSectionHeading":"Ágak","composer.remote.currentEditsSuffix.followUp":"Hozz létre egy új feladatot, amely hivatkozik erre a felhőfeladatra.","composer.remote.currentEditsSuffix.useLocal":"helyi kódmódosításokkal","composer.remote.directFollowUp":"Ne használj helyi nyelvet","composer.remote.errorLoadingBranches":"Hiba történt az ágazatok betöltése közben","composer.remote.fromBranch":"A következőtől: {branch}","composer.remote.fromCurrentBranch":"Innen: {branch} (jelenlegi)","composer.remote.loadingMoreBranches":"Betöltés…","composer.remote.localFileStateHeading":"Helyi fájl állapota","composer.remote.localWorkingTree":"Helyi módosítások használata","composer.remote.startingPoint":"Melyik kódból induljon a feladat?","composer.reviewMode.branches.error":"Nem sikerült betölteni az ágakat","composer.reviewMode.branches.retry":"Újrapróbálkozás","composer.reviewMode.gitRoot.error":"A git gyökér nem található","composer.reviewMode.option.baseBranch.simple":"Áttekintés egy alapághoz képest","composer.reviewMode.option.unstaged.simple":"Be nem küldött módosítások áttekintése","composer.reviewMode.quickReviewError":"Nem sikerült elindítani a kódellenőrzést.","composer.reviewMode.title":"Kód áttekintése","composer.sandboxButton.unlock.disabled.tooltip":"A teljes hozzáférés a requirements.toml által letiltva","composer.sandboxButton.windowsSandboxDialog.content":"A Codex egy kísérleti sandboxot használhat Windows rendszeren a fájlrendszerhez és a hálózathoz való hozzáférés korlátozására. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Engedélyezed a Windows sandboxot?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Csak olvasható használata","composer.searchEnvironments":"Keress környezeteket","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Készségek betöltése...","composer.skillMentionList.noResults":"Nem találhatók készségek","composer.slashCommands.cloudEnvironment.title":"Felhőkörnyezet","composer.slashCommands.dialogLabel":"Slash parancs menü","composer.slashCommands.dialogTitle":"Slash parancsok","composer.slashCommands.disabledTooltip":"Új beszélgetés indítása a slash parancsok használatához","composer.slashCommands.inputPlaceholder":"Keresés","composer.slashCommands.noResults":"Nincsenek parancsok","composer.slashCommands.skillsGroup":"Készségek","composer.slashCommands.tooltip":"Slash parancsok böngészése","composer.status.close":"Bezárás","composer.statusPlain.alertLabel":"Riasztás","composer.statusPlain.alertValue":"{remaining}% maradt ekkor: {window}","composer.statusPlain.contextLabel":"Kontextus:","composer.statusPlain.contextTotal":"{count} e","composer.statusPlain.contextValueMetadata":"({used} használva / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% maradt","composer.statusPlain.heading":"Állapot","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limit:","composer.statusPlain.rateLimitDays":"{count} napos limit","composer.statusPlain.rateLimitFallbackLabel":"Árlimit:","composer.statusPlain.rateLimitHours":"{count} órás limit","composer.statusPlain.rateLimitLabelBase":"Árlimit","composer.statusPlain.rateLimitMinutes":"{count} perces limit","composer.statusPlain.rateLimitPercent":"{remaining}% maradt","composer.statusPlain.rateLimitReset":"visszaállítja: {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"a visszaállítási idő nem érhető el","composer.statusPlain.rateLimitUnavailable":"Nem áll rendelkezésre","composer.statusPlain.sessionCopiedAriaLabel":"Munkamenet-azonosító másolva","composer.statusPlain.sessionCopiedTooltip":"Azonosító másolva","composer.statusPlain.sessionCopyAriaLabel":"Munkamenet-azonosító másolása","composer.statusPlain.sessionCopyTooltip":"Azonosító másolása","composer.statusPlain.sessionLabel":"Munkamenet:","composer.statusSlashCommand.description":"Témaszálazonosító, kontextushasználat és sebességkorlátozások megjelenítése","composer.statusSlashCommand.title":"Állapot","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Nem sikerült elküldeni az üzenetet","composer.submit.emptyMessage":"Adj meg egy üzenetet a kezdéshez","composer.submit.imageInputsUnsupported":"Távolítsd el a képeket vagy válts modellt, hogy elküldhesd ezt az üzenetet.","composer.submit.loadingLocalConfig":"Betöltés…","composer.submit.missingCloudConfig":"Választanod kell egy felhőkörnyezetet","composer.submit.missingCloudTurn":"Nem sikerült utánkövetni ezt a feladatot","composer.submit.noWorkspace":"Adj hozzá egy projektet a Codex használatához","composer.submit.waitForImageUploads":"Képek feltöltése...","composer.submitButtonTooltip.send":"Küldés","composer.submitButtonTooltip.stop":"Leállítás","composer.worktreeEnvironment.create":"Helyi környezet létrehozása","composer.worktreeEnvironment.default":"Alapértelmezett környezet","composer.worktreeEnvironment.error":"Hiba a környezetek betöltése során","composer.worktreeEnvironment.loading":"Környezetek betöltése...","composer.worktreeEnvironment.title":"Helyi környezet","composer.worktreeEnvironment.tooltip":"Válassz egy helyi környezetet","composer.worktreeSetupFailed":"A Worktree beállítása sikertelen. Ellenőrizd a .codex/environments mappát a beállítási szkriptért.","compoundButton.secondaryAction":"Másodlagos művelet","copyButton.copied":"Másolva","copyButton.copiedAriaLabel":"Másolva","copyButton.copy":"Másolás","copyButton.copyAriaLabel":"Másolás","copyButton.copyCode":"Kód másolása","diff.actionButton.revertFile":"Fájl visszaállítása","diff.actionButton.revertHunk":"Visszaállítás","diff.actionButton.revertSection":"Összes visszaállítása","diff.actionButton.revertSectionLabel":"Összes visszaállítása","diff.actionButton.stageFile":"Fájl előkészítése","diff.actionButton.stageHunk":"Előkészítés","diff.actionButton.stageSection":"Összes előkészítése","diff.actionButton.stageSectionLabel":"Összes előkészítése","diff.actionButton.unstageFile":"Fájl eltávolítása","diff.actionButton.unstageHunk":"Eltávolítás","diff.actionButton.unstageSection":"Összes eltávolítása","diff.actionButton.unstageSectionLabel":"Összes eltávolítása","diff.fileHeader.toggle":"Fájldiff kapcsoló","electron.onboarding.login.apikey.cancel":"Mégse","electron.onboarding.login.apikey.continue":"Tovább","electron.onboarding.login.apikey.label":"OpenAI API-kulcs","electron.onboarding.login.apikey.open":"API-kulcs megadása","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Bejelentkezés megszakítása","electron.onboarding.login.chatgpt.continue":"Folytatás ChatGPT-vel","electron.onboarding.login.devbox":"Csatlakozás egy távoli SSH-hoz","electron.onboarding.login.error":"Nem sikerült bejelentkezni: {rawMessage}","electron.onboarding.login.snake.start":"Kígyós játék játszása","electron.onboarding.login.sshConfig.cancel":"Mégse","electron.onboarding.login.sshConfig.continue":"Tovább","electron.onboarding.login.sshConfig.hostnameLabel":"SSH hostnév","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Próbáld ki az építés legjobb módját az ügynökökkel","electron.onboarding.login.title":"Üdvözlünk a Codexben","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Tovább","electron.onboarding.welcome.doubleLimits.description":"A Codex alkalmazás elindításának ünneplésére április 2-ig kétszeres sebességkorlátozás érvényes.","electron.onboarding.welcome.freego.description":"A Codex március 2-ig ingyenesen része a csomagodnak – kezdjük el együtt építeni!","electron.onboarding.welcome.new.title.anon":"Üdv!","electron.onboarding.workspace.continue":"Tovább","electron.onboarding.workspace.empty":"Adj hozzá egy projektet a folytatáshoz.","electron.onboarding.workspace.listLabel":"Elérhető projektek","electron.onboarding.workspace.loading":"Projektek betöltése...","electron.onboarding.workspace.openFolder":"Projekt hozzáadása","electron.onboarding.workspace.selectAll":"Összes kiválasztása","electron.onboarding.workspace.skip":"Kihagyás","electron.onboarding.workspace.skip.error":"Nem sikerült új projektet létrehozni: {message}","electron.onboarding.workspace.skip.error.unknown":"Ismeretlen hiba","electron.onboarding.workspace.skipping":"Új projekt létrehozása…","electron.onboarding.workspace.subtitle":"A Codex képes lesz fájlokat szerkeszteni és parancsokat futtatni a kiválasztott mappákban.","electron.onboarding.workspace.title":"Válassz egy projektet","errorPage.list.checkSettings":"Próbáld frissíteni az IDE-beállításaid","errorPage.list.configToml":"Ellenőrizd a config.toml fájlt érvénytelen beállítások miatt.","errorPage.list.downloadExtension":"Próbáld meg letölteni a kiterjesztés egy másik verzióját.","errorPage.list.runInWsl":"Ellenőrizd a beállításokat, hogy letiltsd a WSL futtatását, ha kompatibilitási problémákat tapasztalsz.","execApprovalRequest.menu.runAlways":"Igen, és ne kérdezd meg újra ebben a munkamenetben","execApprovalRequest.menu.runAlwaysWithAmendment":"Igen, és ne kérdezd meg újra azokat a parancsokat, amelyek ezzel kezdődnek: {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Igen, és ne kérdezd meg újra azokat a parancsokat, amelyek ezzel kezdődnek:","execApprovalRequest.menu.runOnce":"Igen","execApprovalRequest.prompt":"Szeretnéd futtatni ezt a parancsot?","execApprovalRequest.reject":"Nem","execFooter.exitCode":"Kilépési kód {code}","execFooter.exitCode.unknown":"ismeretlen","execFooter.success":"Sikeres","feedback.dialog.category.badResult":"Rossz eredmény","feedback.dialog.category.bug":"Hiba","feedback.dialog.category.goodResult":"Jó eredmény","feedback.dialog.category.other":"Egyéb","feedback.dialog.descriptionPlaceholder":"Írd le a problémát itt","feedback.dialog.dismiss":"Elvetés","feedback.dialog.includeLogsLabel":"A jelenlegi Codex-munkamenetnaplók belefoglalása","feedback.dialog.submit":"Beküldés","feedback.dialog.submitError":"Nem tudtuk elküldeni a visszajelzésed. Kérjük, próbálkozz újra egy kicsit később.","feedback.dialog.title":"Visszajelzés","feedback.dialog.uploadedMessage.existingIssue":"meglévő nyitott kérdés","feedback.dialog.uploadedMessage.openIssue":"GitHub hiba megnyitása","feedback.dialog.uploadedMessage.withThread":"Visszajelzés feltöltve. Ha a probléma továbbra is fennáll, kérjük, {openIssueLink} vagy említsd meg a témaszál azonosítóját a következőn: {existingIssueLink}:","feedback.dialog.uploadedTitle":"Visszajelzés feltöltve","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} eltávolítása","header.back":"Vissza","header.recentChats":"Feladatok","header.recentTasks.seeAll":"Összes megtekintése ({total})","home.header.getPlus":"Előfizetés a Plusra","home.hero.letsBuild":"Építsünk","homePage.mainContent":"Fő tartalom","imageAttachment.defaultName":"kép","imageAttachment.preview.close":"Kép előnézetének bezárása","imageAttachment.removeAriaLabel":"{filename} eltávolítása","implementPlanRequest.option.implement":"Igen, valósítsa meg a tervet","implementPlanRequest.prompt":"Megvalósítsam ezt a tervet?","inbox.archived.deleteError":"Nem sikerült törölni az archivált futtatást","inbox.archived.deleteRun":"Archivált futtatás törlése","inbox.archived.deleteSuccess":"Törölt archivált témaszál. Tekintsd meg az <settingsLink>Archivált témaszálakban</settingsLink>.","inbox.archived.inlineLabel.auto":"Ez a témaszál automatikusan archiválva lett. <learnMoreLink>További információ</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ez a témaszál archiválva volt.","inbox.archived.noMessageFound":"Nem található üzenet","inbox.automations.createError":"Nem sikerült automatizálást létrehozni","inbox.automations.deleteConfirm.cancel":"Mégse","inbox.automations.deleteConfirm.confirm":"Automatizálás törlése","inbox.automations.deleteConfirm.description":"Ezzel az automatizálás véglegesen törlődik, és a jövőbeni futtatások leállnak.","inbox.automations.deleteConfirm.title":"{name} törlése?","inbox.automations.deleteError":"Nem sikerült törölni az automatizálást","inbox.automations.editTooltip":"Automatizálás szerkesztése","inbox.automations.inProgress":"Folyamatban","inbox.automations.new":"Új","inbox.automations.newToolbar":"Új automatizálás","inbox.automations.pauseTooltip":"Automatizálás szüneteltetése","inbox.automations.resumeTooltip":"Automatizálás folytatása","inbox.automations.startingNow":"Kezdés most","inbox.automations.startsIn":"Kezdésig hátralévő idő: {startTime}.","inbox.automations.status.active":"Aktív","inbox.automations.status.paused":"Szüneteltetve","inbox.automations.status.runs":"{count} futtatás","inbox.automations.status.started":"{date} elkezdve","inbox.automations.updateError":"Nem sikerült automatizálást frissíteni","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Összes","inbox.filter.ariaLabel":"Bejövő üzenetek elemeinek szűrése","inbox.filter.unread":"Olvasatlan","inbox.list.archived":"Archivált","inbox.list.inProgress":"Folyamatban","inbox.list.recent":"Befejezve","inbox.list.upNext":"Ütemezve","inbox.mode.automations":"Automatizálások","inbox.mode.automations.beta":"Béta","inbox.noDescription":"Nincs megadva leírás","inbox.openThread":"Témaszál megnyitása","inbox.rightPanel.emptySubtitle":"Automatizáld a munkát ütemezett feladatok beállításával","inbox.rightPanel.emptySubtitle.learnMore":"Automatizáld a munkát ütemezett témaszálak beállításával. <link>További információk</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktív automatizálás} other {# aktív automatizálás}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nincsenek olvasatlan automatizálások","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# olvasatlan automatizálás} other {# olvasatlan automatizálás}}","inbox.rightPanel.emptyTitle":"Nincs kiválasztva elem","inbox.rightPanel.noThread":"Nincs témaszál ehhez az elemhez","inbox.rightPanel.quickStart.header":"Kezdd egy sablonnal","inbox.untitled":"Névtelen bejövő üzenetek elem","loadingPage.documentationLink":"dokumentum","loadingPage.errorDescription":"A Codex a következő hibával összeomlott:","loadingPage.errorDescription.documentation":"Kattints az Újratöltés gombra a Codex kiterjesztés újraindításához, vagy látogass el a(z) {documentationLink} oldalunkra további segítségért.","loadingPage.errorSignal":"Pár dolog, amit kipróbálhatsz:","loadingPage.errorTitle":"Hiba történt","loadingPage.openConfigToml":"Config.toml megnyitása","loadingPage.reload":"Újratöltés","localConversation.contextCompacted":"A kontextus automatikusan tömörítve","localConversation.contextCompacting":"A kontextus automatikus tömörítése","localConversation.forkedFromConversation":"Áthelyezve innen: {threadTitle}","localConversation.merge.autoResolve.failed":"Az automatikus megoldás kérése sikertelen: {error}","localConversation.merge.autoResolve.sent":"Automatikus megoldásra vonatkozó kérés elküldve","localConversation.merge.autoResolveMerge.missingConversation":"Aktív beszélgetés nélkül nem oldható meg automatikusan.","localConversation.merge.autoResolveMerge.request":"Az egyesítési ütközések automatikus megoldása","localConversation.modelChanged":"Modell átváltva erről: {fromModel} erre: {toModel}.","localConversation.modelChanged.warning.line1":"A beszélgetés közbeni modellváltás rontja a teljesítményt.","localConversation.modelChanged.warning.line2":"A kontextus automatikusan tömörülhet.","localConversation.moveThread.createBranch.label":"Ágazat létrehozása","localConversation.moveToLocal.disabled.loading":"Betöltés…","localConversation.moveToLocal.modal.continue":"Tovább","localConversation.moveToLocal.modal.destinationLabel":"Áthelyezés ide:","localConversation.moveToLocal.modal.retry":"Újrapróbálkozás","localConversation.moveToWorktree.modal.back":"Vissza","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Az ágazat már létezik.","localConversation.moveToWorktree.modal.branchesError":"Nem sikerült betölteni az ágakat","localConversation.moveToWorktree.modal.branchesLoading":"Ágazatok betöltése...","localConversation.moveToWorktree.modal.branchesRetry":"Újrapróbálkozás","localConversation.moveToWorktree.modal.continue":"Tovább","localConversation.moveToWorktree.modal.retry":"Újrapróbálkozás","localConversation.moveToWorktree.modal.trailingSlashError":"Az ágazat neve nem végződhet a következővel: /.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"új ágazat","localConversation.personalityChanged":"Átváltva {personality} személyiségre","localConversation.planSummary.collapse":"Tervösszegzés összecsukása","localConversation.planSummary.collapseTooltip":"Összecsukás","localConversation.planSummary.download":"Terv letöltése","localConversation.planSummary.expand":"Tervösszegzés kibontása","localConversation.planSummary.expandTooltip":"Kibontás","localConversation.planSummary.openInNewWindow":"Megnyitás","localConversation.planSummary.openInNewWindow.tooltip":"Megnyitás új ablakban","localConversation.planSummary.title":"Csomag","localConversation.planSummary.titleWriting":"Terv írása","localConversation.planSummary.viewPlan":"Terv kibővítése","localConversation.remoteTaskCreated":"{taskLink} létrehozva Codex felhőben","localConversation.remoteTaskCreated.task":"feladat","localConversation.scrollToBottomButton":"Görgetés az oldal aljára","localConversation.sync.buttonLabel":"Átadás helyire","localConversation.sync.buttonLabel.tooltip":"A változások átadása a munkakönyvtár és a helyi ellenőrzés között.","localConversation.sync.modal.loading.title":"Változások átadása…","localConversation.sync.modal.noChanges":"Nincsenek módosítások","localConversation.syncSetup.branchAriaLabel":"Ágazat neve","localConversation.syncSetup.branchName":"Ágazat neve","localConversation.syncSetup.branchPlaceholder.existing":"Meglévő ágazat kiválasztása","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Ágazatok betöltése...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Már ellenőrizve","localConversation.syncSetup.checkoutClean":"Jelenleg {branchName}","localConversation.syncSetup.checkoutDirty":"Jelenleg {branchName}, be nem küldött módosításokkal","localConversation.syncSetup.checkoutError":"Nem sikerült ellenőrizni az ágazatot: {message}","localConversation.syncSetup.checkoutLabel":"Nézd meg helyileg most","localConversation.syncSetup.checkoutOnLocal":"Átadás helyire","localConversation.syncSetup.checkoutPending":"Helyi állapot ellenőrzése...","localConversation.syncSetup.checkoutUnavailable":"A helyi munkaterület nem érhető el","localConversation.syncSetup.checkoutUnknown":"A helyi ágazat nem érhető el","localConversation.syncSetup.continue":"Tovább","localConversation.syncSetup.createBranchError":"Az ágazatkiadás beállítása sikertelen: {message}","localConversation.syncSetup.error":"Hiba történt: {message}","localConversation.syncSetup.error.workingTreeMissing":"A worktree pillanatképe nem készíthető el. Kérjük, próbáld meg újra az átadást.","localConversation.syncSetup.mode.ariaLabel":"Ágazat mód kiválasztása","localConversation.syncSetup.mode.existing":"Meglévő ágazat","localConversation.syncSetup.mode.new":"Új ágazat","localConversation.syncSetup.noBranches":"Nem találhatók ágazatok","localConversation.syncSetup.overwriteError":"Az ág létrehozásra került, de még nem került teljes átadásra. A helyi kijelentkezés előtt végezd el a kézi átadást.","localConversation.syncSetup.setPrefix":"Előtag beállítása","localConversation.syncSetup.subtitle":"Teszteld és szerkeszd a munkakönyvtár változásait helyileg. <a>További információ</a>","localConversation.syncSetup.success.checkedOut":"Az ágazat létre lett hozva, és helyileg van ellenőrizve","localConversation.syncSetup.success.notCheckedOut":"Ágazat létrehozva","localConversation.syncSetup.title":"Átadás egy helyi ágazatnak","localConversation.syncWorktreeError.branchAriaLabel":"Ágazat neve","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Válassz ki egy ágazatot, amelyre át szeretnél adni, majd próbáld meg újra betölteni a módosításokat.","localConversation.syncWorktreeError.branchSetup.title":"Ágazat frissítése","localConversation.syncWorktreeError.branchUpdate.cta":"Frissítés és újrapróbálkozás","localConversation.syncWorktreeError.branchUpdate.error":"Nem sikerült frissíteni az ágazatot: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Hiba történt: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Az ágazat nincs kijelölve egyetlen worktreeben sem.","localConversation.syncWorktreeV2.applyUncommitted":"Alkalmazás","localConversation.syncWorktreeV2.applyUncommitted.disabled":"A nem elkötelezett változtatások alkalmazásához helyileg kell ellenőrizned az ágazatot","localConversation.syncWorktreeV2.branches.empty":"Nem találhatók ágazatok","localConversation.syncWorktreeV2.branches.loading":"Ágazatok betöltése...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Ágazatkiadás módosítása","localConversation.syncWorktreeV2.changeBranch.error":"Nem sikerült módosítani az ágazatkiadást: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Sikertelen alkalmazás","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"A worktree felülírása sikertelen","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Sikertelen helyi felülírás","localConversation.syncWorktreeV2.commandError.back":"Vissza","localConversation.syncWorktreeV2.commandError.body":"A git parancs végrehajtása közben hiba történt. Ellenőrizd a kimenetet, és próbálkozz újra.","localConversation.syncWorktreeV2.commandError.retry":"Újrapróbálkozás","localConversation.syncWorktreeV2.description":"Változások kiadása a helyi és ez a worktree között <a>További információ</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Kiadási irány kiválasztása","localConversation.syncWorktreeV2.error.generic":"Valami hiba történt a kiadáskor. Próbáld újra.","localConversation.syncWorktreeV2.localBranchLabel":"Helyi","localConversation.syncWorktreeV2.noChanges":"Módosítások kiszámítása","localConversation.syncWorktreeV2.noChanges.summary":"Nincsenek módosítások","localConversation.syncWorktreeV2.overwrite.local":"Helyi felülírás","localConversation.syncWorktreeV2.overwrite.worktree":"Worktree felülírása","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nem sikerült alkalmazni a módosításokat","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"A helyi módosítások felülírása nem sikerült","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"A munkakönyvtár változásait nem lehetett felülírni","localConversation.syncWorktreeV2.partial.appliedLabel":"Alkalmazva","localConversation.syncWorktreeV2.partial.back":"Vissza","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Oldd meg az ütközéseket, és próbáld újra.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Ütközések","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fájl} other {# fájl}}","localConversation.syncWorktreeV2.partial.retry":"Újrapróbálkozás","localConversation.syncWorktreeV2.partial.skippedLabel":"Kihagyva","localConversation.syncWorktreeV2.stateFailed.generic":"Hiba történt a worktree változásainak lekérésénél. Kérjük, próbálkozz újra.","localConversation.syncWorktreeV2.stateFailed.title":"Nem sikerült betölteni a worktree módosításait","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nem sikerült betölteni a worktree módosításait.","localConversation.syncWorktreeV2.statusError.retry":"Újrapróbálkozás","localConversation.syncWorktreeV2.statusError.title":"Nem sikerült betölteni a helyi ágazatmódosításokat","localConversation.syncWorktreeV2.statusError.unknown":"Az ágazat állapota jelenleg nem elérhető. Kérjük, próbálkozz újra.","localConversation.syncWorktreeV2.success.apply":"Módosítások sikeresen alkalmazva","localConversation.syncWorktreeV2.success.overwrite":"Sikeres kiadás","localConversation.syncWorktreeV2.title":"Kiadási módosítások","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"{count, plural, one {kérdés} other {kérdés}} megkérdezése","localConversation.userInputRequest.noAnswer":"Nincs megadva válasz","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Megkérdezve","localConversation.userInputRequest.summary.count":"{count, plural, one {# kérdés} other {# kérdés}}","localConversation.workedFor":"Ennyi ideig dolgozott: {time}","localConversation.worktreeBranchSetup.action.create":"Létrehozás","localConversation.worktreeBranchSetup.branchAriaLabel":"Ágazat neve","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Hozz létre egy új ágazatot","localConversation.worktreeBranchSetup.checkoutDisabled":"Ez az ágazat már ellenőrizve volt ekkor: {location}","localConversation.worktreeBranchSetup.checkoutError":"Nem sikerült ellenőrizni az ágazatot: {message}","localConversation.worktreeBranchSetup.createBranchError":"Nem sikerült beállítani az ágazatot: {message}","localConversation.worktreeBranchSetup.error":"Hiba történt: {message}","localConversation.worktreeBranchSetup.subtitle":"Hozz létre egy ágat a változtatások rögzítéséhez, küldd el, és hozz létre egy PR-t ebből a munkakönyvtárból. <a>További információ</a>","localConversation.worktreeBranchSetup.title":"Dolgozz itt","localConversationPage.addWorktreeToSidebar.tooltip":"Mentsd el projektként, hogy új szálakat indíthass ebből a worktreeből","localConversationPage.addWorktreeToSidebarError":"Nem sikerült hozzáadni a projektet","localConversationPage.commitAndCreatePrModal.errorTitle":"A PR létrehozása és elküldése sikertelen","localConversationPage.commitAndCreatePrModal.successTitle":"PR elküldve és létrehozva","localConversationPage.commitAndPushModal.errorTitle":"A létrehozás és a küldés sikertelen volt","localConversationPage.commitAndPushModal.successTitle":"Létrehozott és küldött módosítások","localConversationPage.commitCreatePr.open":"Pull kérelem megnyitása","localConversationPage.commitCreatePr.successTitle":"Létrehozott PR-ok a legutóbbi módosításaiddal","localConversationPage.createBranchButtonLabel":"Ágazat itt","localConversationPage.createPrModal.baseBranch":"Alap","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR létrehozása","localConversationPage.createPrModal.createDescription":"Pull kérelem megnyitása a legutóbbi módosításaiddal.","localConversationPage.createPrModal.errorTitle":"Sikertelen pull kérelem","localConversationPage.createPrModal.headBranch":"Fej","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR megnyitása","localConversationPage.createPrModal.successTitle":"Pull kérelem létrehozva","localConversationPage.createPrModal.title":"Pull kérelem létrehozása","localConversationPage.createPrModal.viewDescription":"Egy pull kérelem már létezik ehhez az ágazathoz.","localConversationPage.createPrModal.viewTitle":"A pull kérelem kész","localConversationPage.createPullRequestAuthGh":"GitHub CLI hitelesítése: futtasd a `gh auth login` parancsot","localConversationPage.createPullRequestBranchMissing":"Az ágazatinformációk nem érhetők el","localConversationPage.createPullRequestButtonLabel":"PR létrehozása","localConversationPage.createPullRequestButtonLabel.loading":"PR létrehozása folyamatban...","localConversationPage.createPullRequestDefaultBranchMissing":"Az alapértelmezett ágazatinformációk nem érhetők el","localConversationPage.createPullRequestError":"Nem sikerült létrehozni a pull kérelmet","localConversationPage.createPullRequestExistingPullRequest":"Egy pull kérelem már létezik ehhez az ágazathoz","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI állapot betöltése...","localConversationPage.createPullRequestInstallGh":"GitHub CLI (gh) telepítése a PR-ok létrehozásához","localConversationPage.createPullRequestNoRepo":"Nem található git adattár","localConversationPage.createPullRequestPushStatusMissing":"Leküldési állapot betöltése...","localConversationPage.createPullRequestSetUpstream":"Küldd el ezt az ágazatot, mielőtt PR-t hozol létre","localConversationPage.createPullRequestSuccessToast":"Pull kérelem létrehozva","localConversationPage.createPullRequestSwitchBranch":"Ellenőrizd a funkcióágat, mielőtt PR-t hoznál létre.","localConversationPage.error.render":"Hiba a helyi beszélgetések renderelésekor","localConversationPage.error.toast":"A beszélgetés nem található","localConversationPage.forcePushError":"Nem sikerült a kényszerített leküldés","localConversationPage.generatePullRequestMessageError":"Nem sikerült létrehozni a pull kérelem címét és szövegét","localConversationPage.generatePullRequestMessageFailed":"Nem sikerült létrehozni a pull kérelem címét és szövegét.","localConversationPage.gitActionResult.branch":"Ágazat","localConversationPage.gitActionResult.cancel":"Mégse","localConversationPage.gitActionResult.close":"Bezárás","localConversationPage.gitActionResult.tryAgain":"Újrapróbálkozás","localConversationPage.gitActions":"Git műveletek","localConversationPage.newChat":"Új csevegés","localConversationPage.openInTarget":"Megnyitás itt:","localConversationPage.openPrimaryTarget":"Megnyitás","localConversationPage.planItemsCompleted":"{completedItems} / {totalItems, plural, one {# feladat befejezve} other {# feladat befejezve}}","localConversationPage.pushAuthError":"Sikertelen leküldés: hitelesítés szükséges","localConversationPage.pushBranchMissing":"Az ágazatinformációk nem érhetők el","localConversationPage.pushButtonLabel":"Leküldéses","localConversationPage.pushButtonLabel.loading":"Leküldés...","localConversationPage.pushError":"Nem sikerült beküldeni a módosításokat","localConversationPage.pushModal.branchLabel":"Ágazat","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Mégse","localConversationPage.pushModal.confirm":"Leküldéses","localConversationPage.pushModal.description":"Küldd le a legújabb commitjaidat a távoli adattárba","localConversationPage.pushModal.errorTitle":"Sikertelen leküldés","localConversationPage.pushModal.forcePush":"Kényszerített leküldés","localConversationPage.pushModal.successTitle":"Leküldés befejezve","localConversationPage.pushModal.title":"Módosítások leküldése","localConversationPage.pushModal.tryAgain":"Újrapróbálkozás","localConversationPage.pushNoUpstream":"Állíts be egy upstreamet, mielőtt ezt az ágat feltöltöd.","localConversationPage.pushNoUpstreamError":"Sikertelen leküldés: nincs konfigurált upstream","localConversationPage.pushNothingToPush":"Nincs új beküldhető commit","localConversationPage.pushRemoteChangedError":"Sikertelen leküldés: a távoli szerveren új commitok vannak.","localConversationPage.pushRemoteRejectedError":"A leküldést elutasította a távoli szerver","localConversationPage.pushStatusMissing":"Leküldési állapot betöltése...","localConversationPage.pushSuccessToast":"Leküldött módosítások","localConversationPage.viewPullRequestButtonLabel":"PR megtekintése","localConversationPage.viewPullRequestButtonLabel.loading":"Pull kérelem betöltése…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fájl} other {# fájl}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} other {# lista}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# keresés} other {# keresés}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Felfedezés","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Felfedezve","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} felfedezve","localConversationTurnStory.showContent":"Tartalom mutatása","localConversationTurnStory.streamContent":"Tartalom streamelése","localConversationTurnStory.toggleReasoning":"Indoklás megjelenítése","localTaskRow.archiveError":"Nem sikerült archiválni a beszélgetést","localTaskRow.resumeError":"Nem sikerült folytatni a feladatot","mermaidDiagram.ariaLabel":"Sellő diagram","mermaidDiagram.copySource":"Sellő másolása","mermaidDiagram.originalCode":"Sellő forráskód","notifications.permissions.description":"Figyelmeztetések megjelenítése, ha értesítési engedélyek szükségesek","notifications.permissions.label":"Engedélyezési értesítések engedélyezése","notifications.turnMode.always":"Mindig","notifications.turnMode.description":"Állítsd be, amikor a Codex jelzi, hogy befejezte a munkát","notifications.turnMode.label":"Befejezési értesítések bekapcsolása","notifications.turnMode.off":"Soha","notifications.turnMode.unfocused":"Csak amikor nem fókuszált","patchApprovalRequest.approve":"Jóváhagyás","patchApprovalRequest.menu.allowAlways":"Igen, és ne kérdezd meg újra ebben a munkamenetben","patchApprovalRequest.menu.allowForSession":"Igen, és ne kérdezd meg újra ebben a munkamenetben","patchApprovalRequest.menu.allowOnce":"Igen","patchApprovalRequest.prompt":"Szeretnéd végrehajtani ezeket a módosításokat?","patchApprovalRequest.reject":"Nem","patchApprovalRequest.waitingForApproval":"Várakozás jóváhagyásra a fájlok szerkesztéséhez","pendingRequest.approvalExec.collapse":"Összecsukás","pendingRequest.approvalExec.expand":"Kibontás","pendingRequestStory.toastAnswer":"Válasz: {answer}","pendingRequestStory.toastApprovalTitle":"Jóváhagyó válasz","pendingRequestStory.toastFollowupPrompt":"Utasítás: {prompt}","pendingRequestStory.toastFollowupTitle":"Utánkövetés küldve","pendingRequestStory.toastNoAnswers":"Nincs válasz","pendingRequestStory.toastQuestion":"Kérdés: {question}","pendingRequestStory.toastUnknownDecision":"Ismeretlen","pendingRequestStory.toastUserInputTitle":"Beküldött kérdések","quickAction.request.codeReview.branches.new":"Tekintsd át a(z) {from} módosításait a következővel szemben: {to}","quickAction.request.codeReview.uncommitted.new":"Tekintsd át a be nem küldött módosításaimat","reasoningItem.thinking":"Gondolkodás folyamatban","reasoningItem.thought":"Gondolkodott","reasoningItem.thoughtWithElapsed":"Ötlet erre: {elapsed}","recentConversations.title":"Legutóbbi beszélgetések","recentTasks.worktreeInitFailedTitle":"Sikertelen Worktree init","recentTasks.worktreeSettingUpTitle":"Worktree beállítása","requestInputPanel.continue":"Tovább","requestInputPanel.dismiss":"Elvetés","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Írj ide","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nem, és mondd meg a Codexnek, mit kell másképp csinálnia","requestInputPanel.selectedBadge":"Kiválasztott","requestInputPanel.skip":"Kihagyás","requestInputPanel.submit":"Beküldés","review.commit.ariaLabel.includeUnstaged":"Nem előkészített tartalmazása","review.commit.buttonLabel":"Vállalás","review.commit.disabled.committing":"Beküldés...","review.commit.disabled.loadingDiff":"Diff betöltése…","review.commit.disabled.missingContext":"Adj hozzá némi kontextust a commit üzenet generálásához","review.commit.disabled.noChanges":"Nincs módosítás a vállaláson","review.commit.disabled.noSelection":"Válaszd ki a vállalás módosításait","review.commit.disabled.unavailable":"A vállalás jelenleg nem érhető el","review.commit.error":"A módosítások rögzítése sikertelen","review.commit.form.changesToBeCommitted":"Módosítások","review.commit.form.commitTo":"Ágazat","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Tovább","review.commit.form.title":"Küldd be a módosításaid","review.commit.generate.emptyResponse":"Nem sikerült létrehozni a commit üzenetet.","review.commit.generate.failed":"Nem sikerült létrehozni a beküldési üzenetet: {error}","review.commit.generate.missingPrompt":"Adj hozzá némi kontextust a beküldési üzenet létrehozásához.","review.commit.includeUnstaged":"Nem előkészített tartalmazása","review.commit.loading.description":"Türelem, ez eltarthat pár pillanatig...","review.commit.loading.step.commit.done":"Beküldött módosítások","review.commit.loading.step.commit.pending":"Módosítások beküldése","review.commit.loading.step.createPr.done":"Pull kérelem létrehozva","review.commit.loading.step.createPr.pending":"Pull kérelem létrehozása","review.commit.loading.step.push.done":"Leküldve a(z) {branch} ágazatba","review.commit.loading.step.push.pending":"Leküldés a(z) {branch} ágazatba","review.commit.loading.title.commit":"Módosítások beküldése","review.commit.loading.title.createPr":"PR létrehozása","review.commit.loading.title.push":"Módosítások leküldése","review.commit.messageLabel":"Vállalás üzenete","review.commit.messagePlaceholder":"Hagyd üresen, ha automatikusan szeretnél létrehozni egy beküldési üzenetet","review.commit.nextSteps":"Következő lépések","review.commit.nextSteps.commit":"Vállalás","review.commit.nextSteps.commitAndCreate":"Beküldés és PR létrehozása","review.commit.nextSteps.commitAndPush":"Beküldés és leküldés","review.commit.nextSteps.prRequiresGh":"GitHub CLI szükséges: {command}","review.commit.rows.changes":"Módosítások","review.commit.rows.commitCount":"{count, plural, one {# beküldés} other {# beküldés}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# beküldés} other {# beküldés}} és {stats}","review.commit.rows.fileCount":"{count, plural, one {# fájl} other {# fájl}}","review.commit.state.error.body":"Valami hiba történt a beküldéskor. Ellenőrizd a git állapotát, és próbáld újra.","review.commit.state.error.title":"Sikertelen beküldés","review.commit.state.success.title":"Módosítások beküldve","review.commit.untracked.loadingStats":"Nyomon követetlen diff statisztikák betöltése…","reviewFindingAttachments.count":"{count, plural, one {# találat} other {# találat}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Szerkeszd a konfigurációd az ügynök viselkedésének személyre szabásához","settings.agent.configuration.configToml.docs":"Dokumentumok","settings.agent.configuration.subtitle":"Ezek a beállítások mindenhol érvényesek, ahol a Codexet használják","settings.automations.banner.danger":"Az automatizálások az alapértelmezett sandbox beállításokkal futnak, amelyek jelenleg teljes hozzáférésre vannak beállítva. A teljes hozzáféréssel futó háttér-automatizálások fokozott kockázatot jelentenek, mivel a Codex fájlokat módosíthat, parancsokat futtathat és hálózati hozzáférést kaphat anélkül, hogy erről kérdeznéd. Fontold meg a sandbox beállítások munkaterület írásra történő frissítését, és <rulesDocsLink>szabályok</rulesDocsLink> használatát annak szelektív meghatározásához, hogy az ügynök mely parancsokat futtathat teljes hozzáféréssel.","settings.automations.banner.defaultHowTo.default":"Az automatizálások az alapértelmezett sandbox beállításokkal futnak. Az eszközhívások sikertelenek lesznek, ha a munkaterületen kívüli fájlok módosítását, hálózati hozzáférést vagy a számítógépen lévő alkalmazásokkal való munkát igényelnek. A <rulesDocsLink>szabályok</rulesDocsLink> segítségével szelektíven engedélyezheted a parancsok sandboxon kívüli futtatását.","settings.automations.banner.defaultHowTo.readOnly":"Az automatizálások az alapértelmezett sandbox beállításokkal futnak, amelyek csak olvasásra vannak beállítva. Az eszközhívások sikertelenek lesznek, ha fájlok módosítását, hálózati hozzáférést vagy a számítógépen lévő alkalmazásokkal való munkát igényelnek. Fontold meg a sandbox beállítások munkaterület írásra történő frissítését.","settings.automations.cancel":"Mégse","settings.automations.create":"Létrehozás","settings.automations.cwdEmpty":"Nincs elérhető projektmappa","settings.automations.cwdLabel":"Projektek","settings.automations.cwdPlaceholder":"Válassz egy mappát","settings.automations.cwdSubtitle":"Ha azt szeretnéd, hogy egy automatizálás egy adott ágon fusson, akkor ezt megadhatod az utasításodban.","settings.automations.delete":"Törlés","settings.automations.dialog.editTitle":"Automatizálás szerkesztése","settings.automations.dialog.newTitle":"Új automatizálás","settings.automations.dialog.subtitle":"Automatizáld az ismétlődő feladatokat a háttérben. A Codex hozzáadja a megállapításokat a beérkező levelek mappájához, vagy automatikusan archiválja a feladatot, ha nincs mit jelenteni. <learnMoreLink>További információ</learnMoreLink>","settings.automations.dialog.title":"Automatizálás létrehozása","settings.automations.executionCopy.git":"Az automatizálások háttérben futnak dedikált munkakönyvtárakban.","settings.automations.executionCopy.nonGit":"A verziókezelés nélküli projektekben az automatizálások közvetlenül a projektkönyvtárban futnak. Fontold meg a Git használatát, hogy háttérmunkakönyvtárakban is futtathasd őket.","settings.automations.executionEnvironment.local":"Helyi","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Betöltés…","settings.automations.nameLabel":"Név","settings.automations.namePlaceholder":"Őrhibák keresése","settings.automations.pause":"Szüneteltetés","settings.automations.promptLabel":"Utasítás","settings.automations.promptPlaceholder":"összeomlások keresése itt: $Sentry","settings.automations.resume":"Folytatás","settings.automations.rruleSummaryFallback":"Egyéni ütemterv","settings.automations.runNow":"Tesztelés","settings.automations.save":"Mentés","settings.automations.scheduleBadge.dayCount":"{count} n","settings.automations.scheduleBadge.interval":"{count} ó","settings.automations.scheduleBadge.weekdays":"Hétköznapok","settings.automations.scheduleBadge.weekends":"Hétvégék","settings.automations.scheduleHeader":"Ütemterv","settings.automations.scheduleHours":"óra","settings.automations.scheduleLabel":"Futtatás minden","settings.automations.scheduleMode.daily":"Naponta","settings.automations.scheduleMode.interval":"Időköz","settings.automations.scheduleModeLabel":"Ütemezés típusa","settings.automations.scheduleSummary.daily":"Naponta ekkor: {time}","settings.automations.scheduleSummary.interval":"{count} óránként","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# nap} other {# nap}}","settings.automations.scheduleSummary.intervalDays":"{interval} ekkor: {days}","settings.automations.scheduleSummary.intervalHourly":"Óránként","settings.automations.scheduleSummary.singleDay":"ekkor: {day}, {time}","settings.automations.scheduleSummary.weekdays":"Hétköznapok ekkor: {time}","settings.automations.scheduleSummary.weekdaysLabel":"hétköznapok","settings.automations.scheduleSummary.weekends":"Hétvégék ekkor: {time}","settings.automations.scheduleSummary.weekendsLabel":"hétvégék","settings.automations.scheduleSummary.weekly":"ekkor: {days}, {time}","settings.automations.scheduleWeekdays":"Bekapcsolás","settings.automations.weekdayState.excluded":"Kizárva","settings.automations.weekdayState.included":"Tartalmazva","settings.conversationDetail.steps":"Lépések","settings.conversationDetail.steps.description":"Parancsok és kimenetek elrejtése","settings.conversationDetail.stepsWithCommands":"Lépések kódparancsokkal","settings.conversationDetail.stepsWithCommands.description":"Parancsok megjelenítése, kimenet összecsukása","settings.conversationDetail.stepsWithOutput":"Lépések kódkimenettel","settings.conversationDetail.stepsWithOutput.description":"Parancsok megjelenítése és kimenet kibontása","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nincsenek archivált csevegések.","settings.dataControls.archivedChats.error":"Nem sikerült betölteni az archivált csevegéseket.","settings.dataControls.archivedChats.loading":"Archivált csevegések betöltése...","settings.dataControls.archivedChats.unarchive":"Archiválás visszavonása","settings.dataControls.archivedChats.unarchiveError":"Nem sikerült visszavonni a csevegés archiválását","settings.dataControls.archivedChats.unarchiveSuccess":"Témaszál archiválása visszavonva. <viewNowLink>Megtekintés most</viewNowLink>","settings.dataControls.archivedChats.untitled":"Névtelen csevegés","settings.editRow.headerPlaceholder":"Kulcs","settings.editRow.removeEntry":"Bejegyzés eltávolítása","settings.editRow.valuePlaceholder":"Érték","settings.general.appearance":"Megjelenés","settings.general.appearance.codeFont":"Kód betűtípusa","settings.general.appearance.codeFont.description":"A csevegésekben és a diffekben használt betűtípus és méret beállítása","settings.general.appearance.codeFontFamily":"Kód betűcsaládja","settings.general.appearance.codeFontSize":"Kód betűmérete","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"A Windowsban a rendszer átlátszósága helyett szilárd háttér használata","settings.general.appearance.opaqueWindows.label":"Használj átlátszatlan ablakhátteret","settings.general.appearance.sansFontFamily":"Sans betűcsalád","settings.general.appearance.sansFontFamily.description":"Állítsd be a Codex felhasználói felületéhez használt betűtípust","settings.general.appearance.sansFontSize":"Sans betűméret","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Teljes ablakos ünneplési effektusok megjelenítése, miközben a GPT-5.3-Codex-Spark futtatja az első kört","settings.general.appearance.sparkCelebrationEffects.label":"Szikra ünnepi effektusok","settings.general.appearance.theme":"Téma","settings.general.appearance.theme.dark":"Sötét mód","settings.general.appearance.theme.description":"Használj világos, sötét vagy a rendszeréhez illő színt","settings.general.appearance.theme.light":"Világos mód","settings.general.appearance.theme.system":"Rendszer","settings.general.appearance.usePointerCursors.description":"Változtasd a kurzort mutató kézre, amikor interaktív elemek fölé viszi az egérmutatót","settings.general.appearance.usePointerCursors.label":"Mutató kurzorok használata","settings.general.enterBehavior.description":"Ha engedélyezve van, a többsoros utasítások elküldéséhez {modifierSymbol} + Enter billentyűkombinációt kell megnyomni.","settings.general.enterBehavior.label":"{modifierSymbol}+ Enter billentyűt kell megnyomni a hosszú utasítások küldéséhez","settings.general.experimentalFeatures":"Kísérleti funkciók (béta)","settings.general.experimentalFeatures.empty":"Nincsenek elérhető béta kísérleti funkciók.","settings.general.experimentalFeatures.loading":"Kísérleti funkciók betöltése...","settings.general.experimentalFeatures.restartNote":"Indítsd újra a Codexet a kísérleti funkcióváltozások alkalmazásához","settings.general.experimentalFeatures.toggle":"{featureName} kapcsoló","settings.general.followUpQueueMode.description":"A Codex futása közben sorba állíthatja a követéseket, vagy megszakíthatja az aktuális futást.","settings.general.followUpQueueMode.interrupt":"Irányítás","settings.general.followUpQueueMode.label":"Utánkövetési viselkedés","settings.general.followUpQueueMode.queue":"Sor","settings.general.notifications":"Értesítések","settings.general.power.preventSleepWhileRunning.description":"Tartsa a számítógépét ébren, amíg a Codex futtat egy témaszálat.","settings.general.power.preventSleepWhileRunning.label":"Megakadályozza az alvást futás közben","settings.git.branchPrefix.ariaLabel":"Ágazat előtagja","settings.git.branchPrefix.description":"A Codexben új ágazatok létrehozásakor használt előtag","settings.git.branchPrefix.label":"Ágazat előtagja","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Az ágazat előtagjának mentése sikertelen","settings.git.branchPrefix.save.success":"Mentett ágazati előtag","settings.git.commitInstructions.ariaLabel":"Beküldési instrukciók","settings.git.commitInstructions.description":"Hozzáadva a beküldési üzenet generálási utasításokhoz","settings.git.commitInstructions.label":"Beküldési instrukciók","settings.git.commitInstructions.placeholder":"Add hozzá a beküldési üzenet útmutatót…","settings.git.commitInstructions.save":"Mentés","settings.git.commitInstructions.save.error":"A beküldési utasítások mentése sikertelen","settings.git.commitInstructions.save.success":"Beküldési utasítások mentve","settings.git.forcePush.ariaLabel":"Mindig kényszerített leküldés","settings.git.forcePush.description":"Használd a --force-with-lease parancsot, amikor a Codexből küldesz le","settings.git.forcePush.label":"Mindig kényszerített leküldés","settings.git.forcePush.save.disabled":"Mindig kényszerített leküldés letiltása","settings.git.forcePush.save.enabled":"Mindig kényszerített leküldés engedélyezése","settings.git.forcePush.save.error":"Mindig kényszerített leküldés beállításának mentése sikertelen","settings.git.prInstructions.ariaLabel":"Pull kérelem instrukciók","settings.git.prInstructions.description":"A Codex által létrehozott pull kérelem tesztekhez csatolva","settings.git.prInstructions.label":"Pull kérelem instrukciók","settings.git.prInstructions.placeholder":"Pull kérelem útmutató hozzáadása…","settings.git.prInstructions.save":"Mentés","settings.git.prInstructions.save.error":"Nem sikerült menteni a pull kérelem utasításokat","settings.git.prInstructions.save.success":"Pull kérelem utasítások mentve","settings.ide.defaultOpenTarget.description":"Ahol a fájlok és mappák alapértelmezés szerint megnyílnak","settings.ide.defaultOpenTarget.label":"Alapértelmezett megnyitási cél","settings.ide.defaultOpenTarget.placeholder":"Nincs megtalált cél","settings.ide.language.auto":"Automatikus észlelés","settings.ide.language.autoOption":"Automatikus észlelés","settings.ide.language.description":"Az app felhasználói felületének nyelve","settings.ide.language.label":"Nyelv","settings.ide.language.search":"Nyelvek keresése","settings.layout.actionButton":"Bővítmény újraindítása","settings.layout.actionTitle":"Beállítások művelettel","settings.layout.fullWidthTitle":"Beállítások (teljes szélesség)","settings.layout.title":"Beállítások","settings.localEnvironments.actions.add":"Művelet hozzáadása","settings.localEnvironments.actions.add.description":"Hozz létre egy új parancsot, amelyet az eszköztárról futtathatsz.","settings.localEnvironments.actions.add.save":"Mentés","settings.localEnvironments.actions.empty":"Adj hozzá egy műveletet a helyi eszköztárról parancsok futtatásához.","settings.localEnvironments.actions.icon.debug":"Hibakeresés","settings.localEnvironments.actions.icon.run":"Futtatás","settings.localEnvironments.actions.icon.test":"Tesztelés","settings.localEnvironments.actions.icon.tool":"Eszköz","settings.localEnvironments.actions.item.button.delete":"Törlés","settings.localEnvironments.actions.item.command":"Műveleti szkript","settings.localEnvironments.actions.item.name":"Név","settings.localEnvironments.actions.item.platforms":"Platformok","settings.localEnvironments.actions.item.platforms.help":"Csak bizonyos operációs rendszeren fut.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Platformválasztás","settings.localEnvironments.actions.item.platforms.specific":"Platformspecifikus","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Törlés","settings.localEnvironments.actions.title":"Műveletek","settings.localEnvironments.breadcrumb.back":"Vissza","settings.localEnvironments.breadcrumb.edit":"szerkesztés","settings.localEnvironments.breadcrumb.root":"Környezetek","settings.localEnvironments.environment.actions.description":"Ezek a műveletek bármilyen parancsot futtathatnak, és a fejlécben jelennek meg.","settings.localEnvironments.environment.actionsLabel":"Műveletek","settings.localEnvironments.environment.create":"Helyi környezet létrehozása","settings.localEnvironments.environment.defaultName":"helyi","settings.localEnvironments.environment.edit":"Helyi környezet szerkesztése","settings.localEnvironments.environment.empty":"Ehhez a projekthez még nincs konfigurálva helyi környezet.","settings.localEnvironments.environment.name":"Név","settings.localEnvironments.environment.setup":"Beállítási szkript","settings.localEnvironments.environment.setup.description":"Ez a szkript fut a worktree létrehozáson.","settings.localEnvironments.environment.setup.hint":"A projekt gyökérkönyvtárában fut.","settings.localEnvironments.environment.setup.platformOverrides":"Platform felülbírálások","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} beállítási szkript hozzáadása","settings.localEnvironments.environment.setup.platformOverrides.description":"Felülbírálja az alapértelmezett szkriptet az adott OSes-hez.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Eltávolítás","settings.localEnvironments.environment.setup.script":"Szkript","settings.localEnvironments.environment.title":"Környezet részletei","settings.localEnvironments.file.missing":"Mentés a fájl első létrehozásához.","settings.localEnvironments.file.parseError":"A meglévő fájl nem értelmezhető. A mentés felülírja azt. ({error})","settings.localEnvironments.file.path":"Fájl: {path}","settings.localEnvironments.file.readError":"A helyi környezeti adatok betöltése sikertelen. ({error})","settings.localEnvironments.file.title":"Helyi környezeti fájl","settings.localEnvironments.loading.body":"A projekt konfigurációjának lekérése.","settings.localEnvironments.loading.title":"Helyi környezetek betöltése","settings.localEnvironments.preview.devOnly":"(csak fejlesztő)","settings.localEnvironments.preview.save":"Mentés","settings.localEnvironments.preview.saveError":"Nem sikerült elmenteni a fájlt. ({error})","settings.localEnvironments.preview.title":"Előnézet","settings.localEnvironments.save.disabled.name":"Adj hozzá egy elmentendő környezetnevet.","settings.localEnvironments.save.disabled.noChanges":"Nincs mentendő módosítás.","settings.localEnvironments.save.disabled.saving":"Mentés...","settings.localEnvironments.save.success":"Helyi környezet mentve","settings.localEnvironments.unavailable.body":"Nem tudtuk betölteni a helyi környezet beállításait ehhez a projekthez.","settings.localEnvironments.unavailable.title":"A helyi környezetek nem érhetők el","settings.localEnvironments.workspace.add":"Projekt hozzáadása","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Környezet hozzáadása","settings.localEnvironments.workspaceSelect.description":"A helyi környezetek megadják a Codexnek, hogyan állítsa be a projektek munkakönyvtárait. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Még nincs projekt. Adj hozzá egyet a helyi környezetek konfigurálásához.","settings.localEnvironments.workspaceSelect.errorLabel":"A környezet figyelmet igényel","settings.localEnvironments.workspaceSelect.learnMore":"További információ","settings.localEnvironments.workspaceSelect.listLabel":"Elérhető projektek","settings.localEnvironments.workspaceSelect.loading":"Projektek betöltése.","settings.localEnvironments.workspaceSelect.loadingLabel":"Környezet betöltése","settings.localEnvironments.workspaceSelect.title":"Válassz egy projektet","settings.localEnvironments.workspaceSelect.viewAction":"Megtekintés","settings.mcp.addServer":"Szerver hozzáadása","settings.mcp.app.configure":"Konfigurálás","settings.mcp.app.connect":"Összekapcsolás","settings.mcp.apps.refresh":"Frissítés","settings.mcp.detail.addArgument":"Argumentum hozzáadása","settings.mcp.detail.addEnvVar":"Környezeti változó hozzáadása","settings.mcp.detail.addEnvVarPassthrough":"Változó hozzáadása","settings.mcp.detail.args":"Argumentumok","settings.mcp.detail.back":"Vissza","settings.mcp.detail.command":"Indítandó parancs","settings.mcp.detail.cwd":"Munkakönyvtár","settings.mcp.detail.docs":"MCP dokumentum megnyitása","settings.mcp.detail.docs.link":"Dokumentumok","settings.mcp.detail.envVarPassthrough":"Környezeti változó áthaladás","settings.mcp.detail.envVars":"Környezeti változók","settings.mcp.detail.http.addEnvHeader":"Változó hozzáadása","settings.mcp.detail.http.addHeader":"Fejléc hozzáadása","settings.mcp.detail.http.bearerToken":"Tulajdonosi token környezeti változók","settings.mcp.detail.http.envHeaders":"Fejlécek a környezeti változókból","settings.mcp.detail.http.headers":"Fejlécek","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Név","settings.mcp.detail.save":"Mentés","settings.mcp.detail.switchTransportNotice":"Ha szeretnéd megváltoztatni az MCP szerver típusát, először távolítsd el a programot.","settings.mcp.detail.titleExisting":"{name} MCP frissítése","settings.mcp.detail.titleNew":"Csatlakozás egyéni MCP-hez","settings.mcp.detail.transport.http":"Közvetíthető HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Eltávolítás","settings.mcp.empty":"Nincs egyéni MCP szerver csatlakoztatva","settings.mcp.myServers":"Egyéni szerverek","settings.mcp.partnerServer.description.figma":"Jobb kódot generálhatsz a teljes Figma kontextus bevonásával","settings.mcp.partnerServer.description.github":"Integráld a GitHub API-kat a munkafolyamatok automatizálásához és az adatok kinyeréséhez","settings.mcp.partnerServer.description.linear":"Integráld a Linear hibajelentési és projektmenedzsment rendszerével","settings.mcp.partnerServer.description.notion":"Dokumentumok olvasása, oldalak frissítése, feladatok kezelése","settings.mcp.partnerServer.description.playwright":"Integrálja a böngésző automatizálását a felhasználói felület tervezésének és tesztelésének megvalósításához.","settings.mcp.partnerServer.install":"Telepítés","settings.mcp.partnerServer.installAndAuthenticate":"Telepítés és hitelesítés","settings.mcp.partnerServer.logoAlt":"{label}-logó","settings.mcp.partnerServer.manage":"Kezelés","settings.mcp.partnerServer.vendor":"a következő által: {vendor}","settings.mcp.recommendedServers":"Ajánlott szerverek","settings.mcp.restartApp":"Újraindítás","settings.mcp.restartExtension":"Bővítmény újraindítása","settings.mcp.server.enable":"Engedélyezés","settings.mcp.server.login":"Hitelesítés","settings.mcp.server.settings":"Beállítások","settings.multiselect.createOption":"„{value}” létrehozása","settings.multiselect.removeOption":"Eltávolítás","settings.nav.account":"Fiók","settings.nav.agent":"Konfiguráció","settings.nav.ariaLabel":"Beállítások","settings.nav.back":"Vissza az appba","settings.nav.data-controls":"Archivált témaszálak","settings.nav.environments":"Felhőkörnyezetek","settings.nav.externalTooltip":"[alpha] Megnyílik a böngészőben","settings.nav.general-settings":"Általános","settings.nav.git-settings":"Git","settings.nav.local-environments":"Környezetek","settings.nav.mcp-settings":"MCP szerverek","settings.nav.notImplemented":"[alpha] Nem áll rendelkezésre az Alpha-ban","settings.nav.personalization":"Személyre szabás","settings.nav.skills-settings":"Készségek","settings.nav.usage-analytics":"Használat és elemzések","settings.nav.worktrees":"Worktree-k","settings.openSourceLicenses.back":"Vissza","settings.openSourceLicenses.loading":"Betöltés…","settings.openSourceLicenses.missing":"Nincsenek harmadik féltől származó értesítések.","settings.openSourceLicenses.notSupported":"Nem áll rendelkezésre ebben a tárolóban.","settings.openSourceLicenses.rowDescription":"Harmadik féltől származó értesítések a csomagban szereplő függőségekhez","settings.openSourceLicenses.rowLabel":"Nyílt forráskódú licencek","settings.openSourceLicenses.subtitle":"Harmadik féltől származó értesítések az appban szereplő függőségekre","settings.openSourceLicenses.title":"Nyílt forráskódú licencek","settings.openSourceLicenses.view":"Megtekintés","settings.personalization.agents.description":"A Codex-et az igényeidnek megfelelően testreszabó utasítások szerkesztése. {learnMore}","settings.personalization.agents.learnMore":"További információ","settings.personalization.agents.loadError":"Nem sikerült betölteni az agents.md-t.","settings.personalization.agents.loading":"agents.md betöltése...","settings.personalization.agents.placeholder":"Egyéni instrukciók hozzáadása...","settings.personalization.agents.retry":"Újrapróbálkozás","settings.personalization.agents.save":"Mentés","settings.personalization.agents.save.error":"Nem lehet menteni az agents.md-t","settings.personalization.agents.save.success":"agents.md mentve","settings.personalization.agents.title":"Egyéni instrukciók","settings.personalization.personality.description":"Válassz alapértelmezett hangot a Codex válaszokhoz","settings.personalization.personality.label":"Személyiség","settings.sample.contentBody":"Használd ezt az elrendezést a beállítási panelek egységes távolságokkal történő összeállításához.","settings.sample.contentTitle":"Minta tartalomblokk","settings.section.account":"Fiók","settings.section.agent":"Konfiguráció","settings.section.data-controls":"Archivált témaszálak","settings.section.environments":"Felhőkörnyezetek","settings.section.external":"Megnyitja a böngésződben Alpha közben","settings.section.general-settings":"Általános","settings.section.git-settings":"Git","settings.section.local-environments":"Környezetek","settings.section.mcp-settings":"MCP szerverek","settings.section.mcp-settings.docs":"Dokumentumok","settings.section.mcp-settings.subtitle":"Külső eszközök és adatforrások csatlakoztatása.","settings.section.personalization":"Személyre szabás","settings.section.skills-settings":"Készségek","settings.section.unavailable":"Még nem áll rendelkezésre az Alpha-ban","settings.section.usage-analytics":"Használat és elemzések","settings.section.worktrees":"Worktree-k","settings.threadDetail.description":"A témaszálakban megjeleníteni kívánt parancskimenet mennyiségének kiválasztása","settings.threadDetail.label":"Témaszál részlet","settings.worktrees.conversation.untitled":"Névtelen beszélgetés","settings.worktrees.delete.error":"Nem sikerült törölni a worktree-t","settings.worktrees.empty.body":"A Codex által létrehozott worktree-k itt jelennek meg.","settings.worktrees.empty.title":"Még nincs worktree","settings.worktrees.error.body":"Valami hiba történt a worktree-k betöltésekor.","settings.worktrees.error.retry":"Újrapróbálkozás","settings.worktrees.error.title":"Nem sikerült betölteni a worktree-ket","settings.worktrees.loading.body":"A worktree adatainak lekérése.","settings.worktrees.loading.title":"Worktree-k betöltése…","settings.worktrees.repository.loading":"Adattár metaadatainak betöltése…","settings.worktrees.repository.unknown":"Ismeretlen adattár","settings.worktrees.row.conversations":"Beszélgetések","settings.worktrees.row.conversations.empty":"Ehhez a worktree-hez nem kapcsolódik beszélgetés.","settings.worktrees.row.conversations.loading":"Beszélgetések betöltése...","settings.worktrees.row.delete":"Törlés","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Új projekt hozzáadása","sidebarElectron.archiveThread":"Témaszál archiválása","sidebarElectron.archiveThreadError":"Témaszál archiválása sikertelen","sidebarElectron.collapseFolder":"Mappa összecsukása","sidebarElectron.createStableWorktree.dialog.cancel":"Mégse","sidebarElectron.createStableWorktree.dialog.create":"Létrehozás","sidebarElectron.debugNavLink":"Hibakeresés","sidebarElectron.editWorkspaceRootOptionName":"Név szerkesztése","sidebarElectron.expandFolder":"Mappa kibővítése","sidebarElectron.groupByMenu.recency":"Időrendi lista","sidebarElectron.groupByMenu.title":"Rendezés","sidebarElectron.groupByMenu.workspace":"Projekt szerint","sidebarElectron.inboxRouteNavLink":"Automatizálások","sidebarElectron.markThreadUnread":"Megjelölés olvasatlanként","sidebarElectron.missingWorkspaceRoot":"Ez a projektmappa törölve vagy áthelyezve lett","sidebarElectron.newThread":"Új témaszál","sidebarElectron.newThreadInGroup":"Új témaszál indítása a következőben: {folder}","sidebarElectron.noRecentThreads":"Nincsenek legutóbbi témaszálak","sidebarElectron.noTasks":"Nincsenek témaszálak","sidebarElectron.noTasks.start":"Új projekt hozzáadása","sidebarElectron.noTasksWithFilter":"Nincs a szűrőknek megfelelő témaszál","sidebarElectron.pinnedThreads":"Rögzített témaszálak","sidebarElectron.recentNavLink":"Témaszálak","sidebarElectron.recentThreads":"Legutóbbi témaszálak","sidebarElectron.removeWorkspaceRootOption":"Eltávolítás","sidebarElectron.renameThread":"Témaszál átnevezése","sidebarElectron.renameThreadDialogAriaLabel":"Témaszál címe","sidebarElectron.renameThreadDialogCancel":"Mégse","sidebarElectron.renameThreadDialogPlaceholder":"Cím hozzáadása...","sidebarElectron.renameThreadDialogSave":"Mentés","sidebarElectron.renameThreadDialogSubtitle":"Tartsd röviden és felismerhetően.","sidebarElectron.renameThreadDialogTitle":"Témaszál átnevezése","sidebarElectron.renameThreadError":"Nem sikerült átnevezni a témaszálat","sidebarElectron.renameWorkspaceRootOptionLabel":"Kijelzett név","sidebarElectron.showLess":"Kevesebb mutatása","sidebarElectron.showMenu.all":"Összes témaszál","sidebarElectron.showMenu.relevant":"Kapcsolódó","sidebarElectron.showMenu.relevantHint":"Csak a jelenlegi ágazat, worktree-k vagy más, figyelmet igénylő témaszálak legújabb témaszálainak megjelenítése","sidebarElectron.showMenu.title":"Megjelenítés","sidebarElectron.showMenu.tooltip":"Témaszálak szűrése, rendezése és szervezése","sidebarElectron.showMenu.trigger":"Oldalsáv témaszálak szűrése","sidebarElectron.showMore":"Továbbiak mutatása","sidebarElectron.skillsRouteNavLink":"Készségek","sidebarElectron.sortMenu.created":"Létrehozva","sidebarElectron.sortMenu.title":"Rendezés e szerint","sidebarElectron.sortMenu.updated":"Frissítve","sidebarElectron.taskNavigation":"Automatizálási mappák","sidebarElectron.tasksInFolder":"Automatizálások itt: {folder}","sidebarElectron.workspaceOptions":"Projektműveletek ehhez: {folder}","sidebarElectron.worktreeGroupTooltip":"Ez egy git worktree","skills.appsPage.createSkill":"Új készség","skills.appsPage.empty.skills":"Nem találhatók készségek","skills.appsPage.search.skills":"Készségek keresése","skills.appsPage.search.skills.label":"Készségek keresése","skills.appsPage.section.installedApps":"Telepítve","skills.appsPage.section.skills":"Készségek","skills.appsPage.subheading":"Adj szuperképességeket a Codexnek.<link>További információ</link>","skills.appsPage.tab.recommended":"Javasolt","skills.appsPage.tab.skills":"Készségek","skills.card.contentsError":"Nem lehet betölteni a készségtartalmat.","skills.card.disable":"Letiltás","skills.card.disableSuccess":"{skillName} készség letiltva","skills.card.disabledBadge":"Letiltva","skills.card.enable":"Engedélyezés","skills.card.enableSuccess":"{skillName} készség engedélyezve","skills.card.loadingContents":"Készségtartalom betöltése...","skills.card.more":"További műveletek","skills.card.open":"Megnyitás","skills.card.removeFailed":"Nem sikerült eltávolítani a készséget","skills.card.removeSuccess":"{skillName} készség törölve","skills.card.toggleEnabledError":"Nem sikerült frissíteni a készséget","skills.card.try":"Kipróbálás","skills.card.trySkill":"Készség kipróbálása","skills.card.uninstall":"Eltávolítás","skills.hero.dotLabel":"Ugrás a(z) {index}. diára","skills.hero.next":"Következő kiemelt készség","skills.hero.trySkill":"Készség kipróbálása","skills.page.createSkill":"Új készség","skills.page.empty":"Nem találhatók készségek","skills.page.filteredEmpty":"Nincs a szűrőknek megfelelő készség","skills.page.filteredEmptyDescription":"Próbáld beállítani a keresés vagy a hatókör szűrőket","skills.page.heading":"Készségek","skills.page.loading":"Készségek betöltése...","skills.page.refreshSkills":"Frissítés","skills.page.refreshSkillsToUseNew":"Frissítsd az új készség(ek) használatához","skills.page.search":"Készségek keresése","skills.page.search.label":"Készségek keresése","skills.page.subheading":"Adj szuperképességeket a Codexnek.<link>További információ</link>","skills.preview.copyPrompt":"Utasítás másolása","skills.preview.examplePrompt":"Példautasítás","skills.recommended.error":"Nem sikerült betölteni a javasolt készségeket","skills.recommended.install":"Telepítés","skills.recommended.installSkill":"Azonnali készség","skills.recommended.installSuccess":"{skillName} készség engedélyezve","skills.recommended.installed":"Telepítve","skills.scope.admin":"Adminisztrátor","skills.scope.adminInstalled":"Adminisztrátor telepítve","skills.scope.builtIn":"Rendszer","skills.scope.personal":"Személyes","skills.scope.repo":"Adattár","skills.scope.system":"Rendszer","skills.scope.team":"Csapat","skills.scope.user":"Felhasználó","skills.section.installed":"Telepítve","skills.section.recommended":"Javasolt","story.slidingToggle.existing":"Meglévő","story.slidingToggle.fromLocal":"Helyiről","story.slidingToggle.new":"Új","story.slidingToggle.toLocal":"Helyire","terminal.close":"Terminál bezárása","terminal.title":"Terminál","thinkingShimmer.default":"Gondolkodás folyamatban","threadEnvIcon.cloudTooltip":"Ez a beszélgetés Codex felhőben fut.","threadEnvIcon.localTooltip":"Ez a beszélgetés helyileg fut.","threadEnvIcon.worktreeTooltip":"Ez a beszélgetés egy helyi git worktreeben zajlik.","threadHeader.archiveConfirmCancel":"Mégse","threadHeader.archiveConfirmConfirm":"Archiválás","threadHeader.copySessionId":"Munkamenet-azonosító másolása","threadHeader.copyWorkingDirectory":"Munkakönyvtár másolása","threadHeader.forkIntoLocal":"Áthelyezés helyire","threadHeader.forkIntoWorktree":"Áthelyezés új worktree-be","threadHeader.forkPendingWorktreePrompt":"Beszélgetés áthelyezése új worktree-be.","threadHeader.forkPendingWorktreeTitle":"Beszélgetés áthelyezve","threadHeader.forkThreadError":"A témaszál áthelyezése sikertelen","threadHeader.forkThreadRequiresGitRepo":"Az új worktree-be áthelyezéshez git adattár szükséges","threadHeader.moreActions":"Témaszál műveletek","threadPage.newThread":"Új témaszál","threadPage.runAction.changeEnvironment":"Környezet módosítása","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} művelet","threadPage.runAction.environmentSelector.label":"Környezet kiválasztása","threadPage.runAction.label":"Futtatás","threadPage.runAction.missing.label":"Állíts be egy futtatási műveletet","threadPage.runAction.setup.commandLabel":"Futtatandó parancs","threadPage.runAction.setup.description":"Mondd el a Codexnek, hogyan telepítse a függőségeket és indítsa el az alkalmazást.","threadPage.runAction.setup.editMore":"Környezeti beállítások","threadPage.runAction.setup.placeholder":"pl: npm telepítés npm futtatás","threadPage.runAction.setup.submit":"Mentés és futtatás","threadPage.runAction.setup.title":"Futtatás","threadPage.runAction.tooltip.withEnvironment":"{environmentName} művelet","threadPage.toggleDiffPanel":"Diff panel be-/kikapcsolása","threadPage.toggleTerminal":"Terminál kapcsoló","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Mappa megnyitása","toolSummaryForCmd.exploredFiles":"<verb>Felsorolt</verb> fájlok","toolSummaryForCmd.exploredFilesInPath":"<verb>Felsorolt</verb> fájlok itt: {path}","toolSummaryForCmd.exploringFiles":"<verb>Fájlok</verb> felsorolása","toolSummaryForCmd.exploringFilesInPath":"<verb>Fájlok</verb> felsorolása itt: {path}","toolSummaryForCmd.ranGenericCommand":"<status>Parancs futtatva</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Futtatva: </status> {command}{timer}","toolSummaryForCmd.read":"<verb>Olvasás:</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Parancs futtatása</status>{timer}","toolSummaryForCmd.runningTimer":"ehhez: {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Kereste</verb> ezt: {query}","toolSummaryForCmd.searchedForFiles":"<verb>Keresett</verb> fájlokat","toolSummaryForCmd.searchedForInPath":"<verb>Kereste</verb> ezt: {query} itt: {path}","toolSummaryForCmd.searchingFor":"<verb>Kereste</verb> ezt: {query}","toolSummaryForCmd.searchingForFiles":"<verb>Keresett</verb> fájlokat","toolSummaryForCmd.searchingForInPath":"<verb>Kereste</verb> ezt: {query} itt: {path}","traceRecording.startDetails.cancel":"Mégse","wham.diff.addComment":"Hozzászólás hozzáadása","wham.diff.binaryFile":"A bináris fájl nem jelenik meg","wham.diff.noContent":"Nincs tartalom","wham.fileTag.deleted":"Törölve","wham.fileTag.new":"Új","wham.formattedRelativeDateTime.compactDaysAgo":"{value} n","wham.formattedRelativeDateTime.compactHoursAgo":"{value} ó","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} p","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} hó","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} h","wham.formattedRelativeDateTime.compactYearsAgo":"{value} é","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Dolgozik a feladatodon","wham.whamProposedTask.title":"Javasolt feladat","wham.whamProposedTask.useSuggestion":"Használati javaslat","workspaceRootDialog.addError":"Nem sikerült hozzáadni a projektet","workspaceRootDialog.cancel":"Mégse","workspaceRootDialog.confirmAdd":"Projekt hozzáadása","workspaceRootDialog.confirmPick":"Projekt használata","workspaceRootDialog.description":"Adj meg egy útvonalat itt: {host}, hogy projektként használd.","workspaceRootDialog.pathLabel":"Projekt útvonala","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Projekt útvonalának hozzáadása","workspaceRootDialog.title.pick":"Projekt útvonalának kiválasztása","worktreeInitV2.cancel":"Mégse","worktreeInitV2.notification.failedTitle":"A worktree beállítása sikertelen","worktreeInitV2.output.empty":"Várakozás a kimenetre...","worktreeInitV2.status.error":"A worktree beállítása sikertelen.","worktreeInitV2.status.running":"Worktree létrehozása és beállítás futtatása.","worktreeInitV2.status.runningFork":"Worktree létrehozása a beszélgetés áthelyezéséhez.","worktreeInitV2.status.success":"A worktree kész.","worktreeInitV2.title":"Worktree létrehozása","worktreeInitV2.workLocallyInstead":"Helyette munka helyileg","worktreeRestoreBanner.body":"A témaszál munkakönyvtárát lemezterület megtakarítás céljából eltávolítottuk","worktreeRestoreBanner.missing.body":"A témaszál munkakönyvtára már nem létezik","worktreeRestoreBanner.missing.title":"A jelenlegi munkakönyvtár hiányzik","worktreeRestoreBanner.restore.error":"Nem sikerült visszaállítani a worktree-t: {message}","worktreeRestoreBanner.restore.success":"Worktree visszaállítva","worktreeRestoreBanner.restoreCta":"Worktree visszaállítása","worktreeRestoreBanner.title":"Worktree megtisztítva"};export{e as default};
+const e={"CopyButton.copyTooltip":"Másolás","app.sidebar.hide":"Oldalsáv elrejtése","app.sidebar.show":"Oldalsáv megjelenítése","app.sidebar.tooltip":"Oldalsáv be-/kikapcsolása","appHeader.installUpdate":"Frissítés","appSunset.body":"Az app jelen verziója már nem támogatott. Kérjük, töltsd le a legújabb verziót <here>itt</here>.","appSunset.title":"Frissítés szükséges","automation.updateDirective.create":"Létrehozás","automation.updateDirective.open":"Megnyitás","automation.updateDirective.untitled":"Névtelen automatizálás","automation.updateDirective.update":"Frissítés","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# kísérlet} other {# kísérlet}}","cloudTaskRow.archiveError":"Nem sikerült archiválni a feladatot","code.diff.requestChange":"Módosítás kérése","code.diffComment.cancel":"Mégse","code.diffComment.comment":"Hozzászólás","code.diffComment.delete":"Törlés","code.diffComment.save":"Mentés","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Egyetlen találatot sem jelentettek.","codex.alert.closeAriaLabel":"Bezárás","codex.appUpsellBanner.cbpApi.message":"Gyorsabban építhetsz a Codex alkalmazással. Töltsd le most, vagy {learnMoreLink}.","codex.appUpsellBanner.download":"Letöltés","codex.appUpsellBanner.freeGo.message":"A Codex március 2-ig része a csomagodnak. Próbáld ki a Codex alkalmazást, hogy gyorsabban építhess.","codex.appUpsellBanner.later":"Később","codex.appUpsellBanner.learnMoreLowercase":"további információ","codex.appUpsellBanner.new":"Új","codex.appUpsellBanner.proPlusBusiness.message":"Próbáld ki a Codex alkalmazást 2x sebességkorlátozással április 2-ig. Töltsd le most, vagy {learnMoreLink}.","codex.appUpsellBanner.title":"Codex alkalmazás","codex.applyDropdown.header.changes":"Módosítások","codex.applyDropdown.header.fileCount":"{count, plural, one {# fájl} other {# fájl}}","codex.applyDropdown.header.rows":"sor","codex.applyDropdown.header.title":"Módosítások alkalmazása","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fájl ütközik:} other {{count} fájl ütközik:}}","codex.applyDropdown.results.empty":"Nincs másolt fájl","codex.applyDropdown.results.skipped":"{count, plural, one {1 fájl kihagyva:} other {{count} fájl kihagyva:}}","codex.applyOrRevertBanner.apply":"Alkalmazás","codex.applyOrRevertBanner.applyMessage":"Módosítások alkalmazása és folytatás helyileg?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ez a feladat ebben készült: {environment}, így nem lehetett tisztán alkalmazni.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"A módosítások itt készültek: {environment}, így nem lehetett tisztán alkalmazni.","codex.applyOrRevertBanner.reapply":"Alkalmazás újra","codex.applyOrRevertBanner.revert":"Visszaállítás","codex.applyOrRevertBanner.revertMessage":"Visszaállítod az alkalmazott módosításokat?","codex.applyResultsDialog.applied":"Tisztán alkalmazva ({count})","codex.applyResultsDialog.close":"Bezárás","codex.applyResultsDialog.conflicted":"Ütközik ({count})","codex.applyResultsDialog.noDetails":"Nincs elérhető fájlrészlet.","codex.applyResultsDialog.skipped":"Kihagyva ({count})","codex.applyResultsDialog.title":"Találatok alkalmazása","codex.archiveInfo":"Archivált csevegések megtekintése itt: {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Adatvezérlők","codex.archiveInfo.electron":"Archivált csevegések megtekintése itt: {settingsLink}","codex.archiveInfo.extension":"Archivált csevegések megtekintése a .codex mappádban.","codex.archiveInfo.settingsLink":"Beállítások","codex.banner.content.description":"Futtasd a feladatokat párhuzamosan, kövesd nyomon az előrehaladást bárhonnan, és vizsgáld meg a PR-okat AI segítségével.","codex.banner.content.headline":"A Codex mindet elvégzi.","codex.cloudTaskRow.archiveTask":"Feladat archiválása","codex.cloudTaskRow.confirmArchiveTask":"Megerősítés","codex.command.feedback":"Visszajelzés","codex.command.findInThread":"Keresés","codex.command.forceReloadSkills":"Kényszerített újratöltési készségek","codex.command.logOut":"Kilépés","codex.command.manageTasks":"Feladatok kezelése","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Vissza","codex.command.navigateForward":"Előre","codex.command.newThread":"Új témaszál","codex.command.nextThread":"Következő témaszál","codex.command.openFolder":"Mappa megnyitása","codex.command.openSkills":"Ugrás a készségekhez","codex.command.openThreadOverlay":"Témaszál kiemelése","codex.command.personalitySettings":"Személyiség","codex.command.previousThread":"Előző témaszál","codex.command.settings":"Beállítások","codex.command.toggleDiffPanel":"Diff panel be-/kikapcsolása","codex.command.toggleSidebar":"Oldalsáv be-/kikapcsolása","codex.command.toggleTerminal":"Terminál kapcsoló","codex.commandGroup.app":"App","codex.commandGroup.configure":"Konfigurálás","codex.commandGroup.navigation":"Navigáció","codex.commandGroup.panels":"Panelek","codex.commandGroup.skills":"Készségek","codex.commandGroup.thread":"Témaszál","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Nincs találat","codex.commandMenu.searchPlaceholder":"Parancsok megtekintése","codex.commandMenu.suggestedGroup":"Javasolt","codex.commandMenu.switchWorkspace":"Projektváltás","codex.commandMenu.title":"Parancsmenü","codex.common.retry":"Újrapróbálkozás","codex.composer.searchBranches":"Ágak keresése","codex.dialog.basic.body":"Ez egy egyszerű modális párbeszédablak, amely a Radix párbeszédablak köré épített csomagolónkat használja.","codex.dialog.basic.cancel":"Mégse","codex.dialog.basic.confirm":"Megerősítés","codex.dialog.basic.open":"Párbeszédablak megnyitása","codex.dialog.basic.title":"Minta párbeszédablak","codex.dialog.long.close":"Bezárás","codex.dialog.long.line":"{index} görgethető vonal a párbeszédablakban lévő hosszú tartalom bemutatásához.","codex.dialog.long.open":"Hosszú párbeszédablak megnyitása","codex.dialog.long.title":"Hosszú tartalmú párbeszédablak","codex.dialog.unstyled.body":"Ez a történet bemutatja, hogyan tudják a hívók teljes mértékben irányítani a párbeszéd tartalmának stílusát.","codex.dialog.unstyled.open":"Nyiss stílus nélküli párbeszédpanelt","codex.dialog.unstyled.title":"Stílus nélküli párbeszédpanel","codex.diff.openInEditorPrompt.openButton":"Megnyitás a Szerkesztőben","codex.diff.openInEditorPrompt.singleLine":"Ez a fájl túl nagy a megjelenítéshez","codex.diffView.failedToDecodeBase64Diff":"Nem sikerült dekódolni a base64 diffet","codex.diffView.filesChanged":"{fileCount, plural, one {# fájl módosítva} other {# fájl módosítva}}","codex.diffView.imagePreviewAlt":"Kép előnézete","codex.diffView.imagePreviewEmpty":"Nincs kép","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nincsenek diff adatok","codex.diffView.pdfPreview.nextPage":"Következő oldal","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Előző oldal","codex.diffView.pdfPreviewEmpty":"Nincs PDF-előnézet","codex.diffView.pdfPreviewError":"Nem lehet renderelni a PDF-előnézetet","codex.diffView.richPreviewDisable":"Gazdag előnézet letiltása","codex.diffView.richPreviewEnable":"Gazdag előnézet engedélyezése","codex.diffView.richPreviewLoading":"Előnézet betöltése…","codex.diffView.richPreviewToggle":"Gazdag előnézet be-/kikapcsolása","codex.diffView.switchToUnified":"Váltás egyesített diffre","codex.environmentSelector.noEnvironment":"Nincsenek környezetek","codex.environments.environmentSettings":"Környezeti beállítások","codex.environments.learnMore":"További információ","codex.environments.listError":"Nem sikerült betölteni a környezeteket.","codex.environments.noEnvironmentsFound":"Nem találhatók környezetek","codex.environments.searchError":"Nem sikerült keresni a környezeteket.","codex.errorBoundary.genericError":"Hoppá, hiba történt!","codex.errorBoundary.goHome":"Újrapróbálkozás","codex.file.patch.missing":"Nem lehet javítást készíteni ehhez a fájlhoz.","codex.gallery.automations.cwdLabel":"Projektek","codex.gallery.automations.nameLabel":"Név","codex.gallery.automations.namePlaceholder":"Feladat összefoglalása","codex.gallery.automations.promptLabel":"Utasítás","codex.gallery.automations.promptPlaceholder":"Írd le, mit kell tennie a Codexnek","codex.gallery.dialogs.automation.label":"Automatizálás párbeszéd","codex.gallery.dialogs.basic.body":"Használd ezt az elrendezést egyszerű visszaigazolásokhoz vagy rövid űrlapokhoz.","codex.gallery.dialogs.basic.cancel":"Mégse","codex.gallery.dialogs.basic.confirm":"Megerősítés","codex.gallery.dialogs.basic.label":"Normál párbeszédablak","codex.gallery.dialogs.basic.title":"Minta párbeszédablak","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Írd le a problémát","codex.gallery.dialogs.feedbackSubmission.bad":"Rossz eredmény","codex.gallery.dialogs.feedbackSubmission.bug":"Hiba","codex.gallery.dialogs.feedbackSubmission.good":"Jó eredmény","codex.gallery.dialogs.feedbackSubmission.includeLogs":"A jelenlegi Codex-munkamenetnaplók belefoglalása","codex.gallery.dialogs.feedbackSubmission.label":"Visszajelzés beküldése","codex.gallery.dialogs.feedbackSubmission.other":"Egyéb","codex.gallery.dialogs.feedbackSubmission.placeholder":"Írd le a problémát itt","codex.gallery.dialogs.feedbackSubmission.submit":"Beküldés","codex.gallery.dialogs.feedbackSubmission.title":"Visszajelzés","codex.gallery.dialogs.feedbackSuccess.body":"Visszajelzés feltöltve. Ha a probléma továbbra is fennáll, kérjük, nyiss egy GitHub hibát vagy említsd meg a témaszál azonosítóját egy már létező és nyitott hiba keretében:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Elvetés","codex.gallery.dialogs.feedbackSuccess.label":"Sikeres visszajelzés","codex.gallery.dialogs.feedbackSuccess.title":"Visszajelzés feltöltve","codex.gallery.dialogs.gitApplyResults.applied":"Tisztán alkalmazva (2)","codex.gallery.dialogs.gitApplyResults.close":"Bezárás","codex.gallery.dialogs.gitApplyResults.conflicted":"Ütközik (1)","codex.gallery.dialogs.gitApplyResults.label":"Találatok alkalmazása","codex.gallery.dialogs.gitApplyResults.title":"Találatok alkalmazása","codex.gallery.dialogs.gitPushError.body":"Küldd le a legújabb módosításokat, vagy kényszerítsd a leküldést, ha tudod, hogy a távoli előzmények biztonságosan felülírhatók.","codex.gallery.dialogs.gitPushError.cancel":"Mégse","codex.gallery.dialogs.gitPushError.force":"Kényszerített leküldés","codex.gallery.dialogs.gitPushError.label":"Leküldéses hiba","codex.gallery.dialogs.gitPushError.subtitle":"Az ágazatot az eredet/fő mögött van.","codex.gallery.dialogs.gitPushError.title":"Nem sikerült beküldeni a módosításokat","codex.gallery.dialogs.gitRevert.cancel":"Mégse","codex.gallery.dialogs.gitRevert.confirm":"Visszaállítás","codex.gallery.dialogs.gitRevert.label":"Módosítások visszaállítása","codex.gallery.dialogs.gitRevert.skip":"Ne kérdezd újra","codex.gallery.dialogs.gitRevert.subtitle":"Ez a művelet eltávolítja az összes módosítást.","codex.gallery.dialogs.gitRevert.title":"Visszaállítod a módosításokat?","codex.gallery.dialogs.longForm.label":"Hosszú párbeszédpanel","codex.gallery.dialogs.proseModal.body":"Ez a modális stílus hosszabb utasításokhoz, bevezetéshez vagy értéknövelt tartalmi blokkokhoz használatos.","codex.gallery.dialogs.proseModal.close":"Bezárás","codex.gallery.dialogs.proseModal.subtitle":"Hosszabb útmutatásokat vagy dokumentációkat itt oszthatsz meg.","codex.gallery.dialogs.proseModal.title":"Prózai modális","codex.gallery.dialogs.submitBlocked.label":"Beküldés blokkolva","codex.gallery.dialogs.submitBlocked.message":"Üzeneted nem küldhető el, mert a projekt nem elérhető.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Nem sikerült elküldeni az üzenetet","codex.gallery.dialogs.title":"Párbeszédablakok","codex.gallery.dropdown.filterPlaceholder":"Elemek szűrése","codex.gallery.dropdowns.actionRow":"Műveletsorok","codex.gallery.dropdowns.actionRow.disabled":"Letiltott művelet","codex.gallery.dropdowns.actionRow.primary":"Elsődleges művelet","codex.gallery.dropdowns.actionRow.secondary":"Másodlagos művelet","codex.gallery.dropdowns.actionRow.trigger":"Műveletek megjelenítése","codex.gallery.dropdowns.basic":"Alapvető legördülő menü","codex.gallery.dropdowns.basic.newFile":"Új fájl","codex.gallery.dropdowns.basic.newFolder":"Új mappa","codex.gallery.dropdowns.basic.openSettings":"Beállítások megnyitása","codex.gallery.dropdowns.basic.title":"Gyors műveletek","codex.gallery.dropdowns.basic.trigger":"Menü megnyitása","codex.gallery.dropdowns.basic.upload":"Feltöltés","codex.gallery.dropdowns.panel":"Panelfelület","codex.gallery.dropdowns.panel.apply":"Alkalmazás","codex.gallery.dropdowns.panel.body":"Tekintsd át a diffeket, és alkalmazd azokat a projektedben.","codex.gallery.dropdowns.panel.preview":"Előnézet","codex.gallery.dropdowns.panel.title":"Módosítások alkalmazása","codex.gallery.dropdowns.panel.trigger":"Panel megnyitása","codex.gallery.dropdowns.search":"Kereshető legördülő menü","codex.gallery.dropdowns.search.first":"Alpha csatorna","codex.gallery.dropdowns.search.second":"Béta csatorna","codex.gallery.dropdowns.search.third":"Jelölt kiadása","codex.gallery.dropdowns.search.trigger":"Elemek szűrése","codex.gallery.dropdowns.submenu":"Legördülő menü almenüvel","codex.gallery.dropdowns.submenu.optionA":"Alpha projekt","codex.gallery.dropdowns.submenu.optionB":"Béta projekt","codex.gallery.dropdowns.submenu.optionC":"Gamma projekt","codex.gallery.dropdowns.submenu.primary":"Tulajdonos hozzárendelése","codex.gallery.dropdowns.submenu.secondary":"Áthelyezés ide:","codex.gallery.dropdowns.submenu.tertiary":"Archiválás","codex.gallery.dropdowns.submenu.trigger":"Művelet kiválasztása","codex.gallery.dropdowns.title":"Legördülő menük","codex.gallery.inbox.automations.close":"Bezárás","codex.gallery.inbox.automations.popover.cardTitle":"Automatizálások kezelése","codex.gallery.inbox.automations.popover.dialogTitle":"Automatizálások kezelése","codex.header.settingsTooltip":"Beállítások","codex.hunk.patch.error":"Nem sikerült előkészíteni","codex.hunk.patch.missing":"Nem lehet javítást készíteni ehhez a részhez.","codex.hunk.patch.partialSuccess":"Részleges siker","codex.hunk.patch.revertError":"Nem sikerült eltávolítani","codex.hunk.patch.revertSuccess":"Sikeresen eltávolítva","codex.hunk.patch.success":"Sikeresen előkészítve","codex.legal.autonomy.details":"A további részletekért lásd {link}","codex.legal.autonomy.details.link":"Codex dokumentumok","codex.legal.autonomy.title":"Döntsd el, mennyi autonómiát akarsz biztosítani","codex.legal.backButton":"Vissza","codex.legal.cloud.taskOne.meta":"openai/agi · Október 12.","codex.legal.cloud.taskOne.title":"Adattár elmagyarázása egy új tervezőnek","codex.legal.cloud.taskThree.meta":"openai/codex · Október 8.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Sötét módú téma létrehozása","codex.legal.cloud.taskTwo.meta":"openai/agi · Október 9.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Bevezetési hiba kijavítása","codex.legal.continue.apikey":"Tovább","codex.legal.continueButton":"Következő","codex.legal.copilot.details":"A Copilot-tervezetet használja minden modellhíváshoz, számlázáshoz és díjkorlátozáshoz. A Codex-bővítmény használata mind a(z) {oaiTos} és a(z) {gitHubTos} feltételek hatálya alá tartozik.","codex.legal.copilot.gitHubTosLink":"GitHub Szolgáltatási feltételek","codex.legal.copilot.oaiTosLink":"OpenAI Codex szolgáltatási feltételek","codex.legal.copilot.title":"A GitHub Copilot biztosítja","codex.legal.mistakes.review":"Ellenőrizd az általa írt kódot és az általa futtatott parancsokat","codex.legal.mistakes.title":"A Codex hibázhat","codex.legal.powered.details":"A csomagod árlimitjeit és a {link}t használja","codex.legal.powered.details.link":"betanítási adatbeállításokat","codex.legal.powered.title":"A ChatGPT-fiókod biztosítja","codex.legal.step.cloud.subtitle":"Küldd el a feladatokat a Codexnek, hogy azok háttérben fussanak, így továbbra is koncentrálhass és gyorsabban haladhass.","codex.legal.step.cloud.title":"Codex kiadása a felhőben","codex.legal.step.intro.subtitle":"A Codex közvetlenül az adattárban navigál, szerkeszt, parancsokat futtat és teszteket hajt végre. A ChatGPT-fiókoddal működik.","codex.legal.step.intro.title":"Codex az IDE-dben","codex.legal.step.todo.subtitle":"Írj egy TEENDŐ megjegyzést, és egyetlen kattintással alakítsd át Codex feladattá.","codex.legal.step.todo.title":"Alakíts át TEENDŐKET Codex feladatokká","codex.legal.todo.heading":"// TEENDŐ: séma végrehajtása","codex.localConversation.closeImagePreview":"Kép előnézetének bezárása","codex.localConversation.userImageAttachment":"Felhasználói csatolmány","codex.localTaskRow.archiveTask":"Témaszál archiválása","codex.localTaskRow.awaitingApproval":"Jóváhagyásra vár","codex.localTaskRow.awaitingResponse":"Válaszra vár","codex.localTaskRow.confirmArchiveTask":"Megerősítés","codex.loggedOut.apiKeyPrompt.cancel":"Mégse","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"API-kulcs beszerzése","codex.loggedOut.apiKeyPrompt.inputLabel":"Add meg az OpenAI API-kulcsod","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Az API-kulccsal letiltott felhőalapú feladatok","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"A Copilot és az API-kulcs segítségével letiltott felhőalapú feladatok","codex.loggedOut.signIn":"Lépj be a ChatGPT-vel","codex.loggedOut.signIn.cancel":"Bejelentkezés megszakítása","codex.loggedOut.signInWithCopilot":"Lépj be a GitHub Copilottal","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API-kulcs beszerzése","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} eszköz","codex.mcpTool.collapsedLabel.verb.called":"Hívva","codex.mcpTool.collapsedLabel.verb.calling":"Hívás","codex.mcpTool.embeddedResource.contentLabel":"Tartalom","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-típus","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Az eszköz nem adott vissza tartalmat","codex.mcpTool.rawPayloadHeading":"Nyers {server}.{tool} eszközhívási hasznos teher","codex.menu.recent":"Legutóbbi","codex.menu.seeAllHistory":"Összes előzmény megtekintése","codex.modelCapacityBanner.headline.noReset":"{modelName} jelenleg teljes kapacitással működik. Később próbálkozz újra, vagy kezdj új beszélgetést egy másik modellel.","codex.modelCapacityBanner.headline.withReset":"{modelName} jelenleg teljes kapacitással működik. Kérjük, próbálkozz újra {resetDate} múlva, vagy kezdj új beszélgetést egy másik modellel.","codex.modelCapacityBanner.title":"A kiválasztott modell kapacitása kimerült","codex.patch.change.contentsDeleted":"Tartalom törölve","codex.patch.change.created":"Létrehozva","codex.patch.change.created-file":"Fájl létrehozva","codex.patch.change.creating":"Létrehozás","codex.patch.change.deleted":"Törölve","codex.patch.change.deleted-file":"Fájl törölve","codex.patch.change.deleting":"Törlés","codex.patch.change.edited":"Szerkesztve","codex.patch.change.edited-file":"Szerkesztett fájl","codex.patch.change.editing":"Szerkesztés","codex.patch.change.noChanges":"Nincsenek módosítások","codex.patch.change.rejected-add":"Elutasítva","codex.patch.change.rejected-delete":"Elutasítva","codex.patch.change.rejected-edit":"Elutasítva","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} / {total} feladat teljesítve","codex.plan.todoListCreated":"{total} feladattal létrehozott feladatlisták","codex.profileDropdown.apiKeyAuth":"Bejelentkezve API-kulccsal","codex.profileDropdown.codexSettings":"Codex beállítások","codex.profileDropdown.copilotAuth":"Bejelentkezve a Copilottal","codex.profileDropdown.defaultAccountTitle":"Alapértelmezett fiók","codex.profileDropdown.enterBehavior":"{modifierSymbol}+ Enter billentyűvel küldhetsz hosszú utasításokat","codex.profileDropdown.enterBehaviorError":"Nem sikerült frissíteni a beállítást","codex.profileDropdown.getPlus":"Bővíts a nagyobb korlátokért","codex.profileDropdown.keyboardShortcuts":"Billentyűparancsok","codex.profileDropdown.language":"Nyelv","codex.profileDropdown.languageDefault":"Automatikus észlelés","codex.profileDropdown.languageSearchPlaceholder":"Nyelvek keresése","codex.profileDropdown.languageUpdateError":"Nem sikerült frissíteni a nyelvet","codex.profileDropdown.logOut":"Kilépés","codex.profileDropdown.mcp":"MCP-beállítások","codex.profileDropdown.openConfigToml":"config.toml megnyitása","codex.profileDropdown.openConfigToml.wsl":"config.toml megnyitása WSL környezetben","codex.profileDropdown.openExtensionSettings":"Beállítások megnyitása","codex.profileDropdown.openMcpSettings":"MCP-beállítások megnyitása","codex.profileDropdown.openOnStartup":"Megnyitás indításkor","codex.profileDropdown.openOnStartupError":"Nem sikerült frissíteni a beállítást","codex.profileDropdown.openSkillsSettings":"Készségbeállítások megnyitása","codex.profileDropdown.personalAccountTitle":"Személyes fiók","codex.profileDropdown.queueFollowUps":"Sorban álló utánkövetések","codex.profileDropdown.queueFollowUpsError":"Nem sikerült frissíteni a beállítást","codex.profileDropdown.readDocs":"Dokumentumok olvasása","codex.profileDropdown.readSkillsDocs":"Dokumentumok olvasása","codex.profileDropdown.runInWsl":"Futtatás WSL-ben","codex.profileDropdown.runInWslError":"Nem sikerült frissíteni a beállítást","codex.profileDropdown.runInWslTooltip":"A Codex-et a WSL-en belül futtatod. Javasolt a jobb sandbox biztonság és a jobb teljesítmény érdekében.","codex.profileDropdown.settings":"IDE-beállítások","codex.profileDropdown.settingsPage":"Beállítások","codex.profileDropdown.signInWithOpenAI":"Lépj be a ChatGPT-vel","codex.profileDropdown.skills":"Készségbeállítások","codex.profileDropdown.switchToCopilotAccount":"Copilot-fiók használata","codex.profileDropdown.switchToOpenAIAccount":"OpenAI-fiók használata","codex.profileDropdown.todoCodelens":"TEENDŐ-megjegyzések kijavítása","codex.profileDropdown.todoCodelensError":"Nem sikerült frissíteni a beállítást","codex.profileDropdown.windowsDocumentation":"Windows dokumentum","codex.profileFooter.signedInFallback":"Beállítások","codex.profileFooter.upgrade":"Bővítés","codex.recentTasksMenu.clearSearch":"Keresés törlése","codex.recentTasksMenu.cloud":"Felhőfeladatok","codex.recentTasksMenu.count":"{count, plural, =0 {Nincs folyamatban lévő feladat} one {# feladat folyamatban} other {# feladat folyamatban}}","codex.recentTasksMenu.empty":"Még nincsenek témaszálak","codex.recentTasksMenu.errorCloud":"Nem sikerült betölteni a feladatokat.","codex.recentTasksMenu.errorCloud.inline":"Nem sikerült betölteni a felhőfeladatokat.","codex.recentTasksMenu.filterAll":"Összes","codex.recentTasksMenu.filterCloudTasks":"Felhőfeladatok szűrése","codex.recentTasksMenu.filterTooltip":"Feladatok szűrése környezet szerint","codex.recentTasksMenu.local":"Helyi feladatok","codex.recentTasksMenu.recent":"Összes feladat","codex.recentTasksMenu.search":"Legutóbbi feladatok keresése","codex.recentTasksMenu.searchEmpty":"Nincs találat","codex.recentTasksMenu.tooltip":"Feladatelőzmények","codex.recentTasksMenu.trigger":"Legutóbbi feladatok. {count, plural, one {# folyamatban} other {# folyamatban}}","codex.remoteConversation.applyDiff.applyCta":"Módosítások alkalmazása","codex.remoteConversation.applyDiff.dropdownTitle":"Módosítások alkalmazása a helyi ágazatra","codex.remoteConversation.applyDiff.revertCta":"Módosítások visszaállítása","codex.remoteConversation.closeImagePreview":"Kép előnézetének bezárása","codex.remoteConversation.codexCloudTask":"Egy <u>Codex felhő</u> feladatot tekintesz meg","codex.remoteConversation.errorWithMessage":"Hiba: {message}","codex.remoteConversation.loadingImage":"Kép betöltése","codex.remoteConversation.openInWeb":"Megnyitás weben","codex.remoteConversation.streaming":"Kezdő lépések","codex.remoteConversation.turnFailed":"Hiba történt a feladat során","codex.remoteConversation.turnTab.loading":"{number} megkísérlése","codex.remoteConversation.turnTab.title":"{number} megkísérlése","codex.remoteConversation.userImageAttachment":"Felhasználói csatolmány","codex.remoteConversation.viewPreviousTurns":"Megnyitás weben","codex.remoteConversation.viewPreviousTurns.buttonText":"Megnyitás","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Megnyitás weben","codex.review.copyGitApplyCommand":"Git apply parancs másolása","codex.review.copyGitApplyCommand.toast":"Git apply parancs másolva a vágólapra","codex.review.diffTooLarge.description":"Ez a diff túl nagy ahhoz, hogy megjelenjen az Áttekintésben.","codex.review.diffTooLarge.title":"A diff túl nagy a megjelenítéshez","codex.review.expandOrCollapseDiffButton.collapse":"Összes diff összecsukása","codex.review.expandOrCollapseDiffButton.expand":"Összes diff kibővítése","codex.review.expandOrCollapseDiffMenu.collapse":"Összes diff összecsukása","codex.review.expandOrCollapseDiffMenu.expand":"Összes diff kibontása","codex.review.fileSearch.clear":"Fájlszűrő törlése","codex.review.fileSearch.empty":"Nincs olyan fájl, amely megfelelne az aktuális szűrőnek.","codex.review.fileSearch.label":"Fájlok szűrése","codex.review.fileSearch.placeholder":"Fájlok szűrése...","codex.review.filesChanged":"{num, plural, =0 {Nincsenek módosítva fájlok} one {# fájl módosítva} other {# fájl módosítva}}","codex.review.find.loadMore":"További találatok betöltése","codex.review.fullReview.hideFileTree":"Fájlfa elrejtése","codex.review.fullReview.showFileTree":"Fájlfa megjelenítése","codex.review.header.moreOptions":"Áttekintési lehetőségek","codex.review.largeDiff.banner":"Nagy diff észlelve - egyszerre egy fájlt megjelenítve.","codex.review.loadFullFiles.disable":"Ne tölts be teljes fájlokat","codex.review.loadFullFiles.enable":"Tölts be teljes fájlokat","codex.review.noDiff":"A fájlmódosítások itt jelennek meg","codex.review.noDiff.gitInit.createRepository":"Git adattár létrehozása","codex.review.noDiff.gitInit.creating":"Létrehozás…","codex.review.noDiff.gitInit.error":"Git inicializálása sikertelen: {message}","codex.review.noDiff.gitInit.success":"Git adattár létrehozva","codex.review.noDiff.gitRepoRequired.description":"A projekten végzett módosítások nyomon követése és visszavonása","codex.review.noDiff.gitRepoRequired.title":"Git adattár létrehozása","codex.review.noDiff.orNoLongerAvailable":"vagy a legújabb diffek már nem elérhetők","codex.review.noDiff.reverted":"Az utolsó forduló vissza lett állítva","codex.review.noDiff.revertedOrCommitted":"Az utolsó fordulat vagy vissza lett állítva, vagy véglegesítve lett","codex.review.refreshGitQueries":"Frissítés","codex.review.revert.file.error":"Nem sikerült visszaállítani a következőket: {path}","codex.review.revert.file.partialSuccess":"Részlegesen visszaállítva a következők: {path}","codex.review.revert.file.success":"{path} visszaállítva","codex.review.revert.hunk.error":"Nem sikerült visszaállítani {hunkNumber}. részt a következőben: {path}","codex.review.revert.hunk.partialSuccess":"Részlegesen visszaállított {hunkNumber}. rész a következőben: {path}","codex.review.revert.hunk.success":"Visszaállított {hunkNumber}. rész a következőben: {path}","codex.review.revert.section.error":"Nem sikerült visszaállítani a pontot","codex.review.revert.section.partialSuccess":"Részlegesen visszaállított szakasz","codex.review.revert.section.success":"Visszaállított pont","codex.review.revertDialog.cancel":"Mégse","codex.review.revertDialog.confirm":"Megerősítés","codex.review.revertDialog.message":"Ez a művelet eltávolítja az összes módosítást.","codex.review.revertDialog.skip":"Ne kérdezd újra","codex.review.revertDialog.title":"Visszaállítod a módosításokat?","codex.review.richPreview.disable":"Részletes előnézet letiltása","codex.review.richPreview.enable":"Részletes előnézet engedélyezése","codex.review.source.cloud":"Felhő módosítások","codex.review.source.local.all":"Összes ágmódosítás","codex.review.source.local.lastTurn":"Legutóbbi forduló módosításai","codex.review.source.local.uncommitted":"Be nem küldött módosítások","codex.review.source.worktree":"Be nem küldött worktree módosítások","codex.review.stageFilter.empty.staged.description":"Szerkesztések elfogadása az előkészítésükhöz","codex.review.stageFilter.empty.staged.title":"Nincs előkészített módosítás","codex.review.stageFilter.empty.unstaged.description":"A kódmódosítások itt jelennek meg","codex.review.stageFilter.empty.unstaged.title":"Nincs nem előkészített módosítás","codex.review.stageFilter.staged":"Előkészített","codex.review.stageFilter.staged.count":"Előkészített · {count}","codex.review.stageFilter.unstaged":"Nem előkészített","codex.review.stageFilter.unstaged.count":"Nem előkészített · {count}","codex.review.switchToSplit":"Váltás felosztott diffre","codex.review.switchToUnified":"Váltás egyesített diffre","codex.review.toggleDiffView":"Diff megtekintés be-/kikapcsolása","codex.review.wordDiffs.disable":"Szódiffek letiltása","codex.review.wordDiffs.enable":"Szódiffek engedélyezése","codex.review.wrap.disable":"Sortörés letiltása","codex.review.wrap.enable":"Sortörés engedélyezése","codex.section.patch.missing":"Nem lehet javítást készíteni ehhez a ponthoz.","codex.shell.collapse":"Shell összecsukása","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Másolt shell-tartalmak","codex.shell.copy.copyTooltip":"Shell-tartalom másolása","codex.shell.copyCommand":"Parancs másolása","codex.shell.copyOutput":"Kimenet másolása","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Shell kibontása","codex.shell.name":"Shell","codex.shell.noOutput":"Nincs kimenet","codex.signInFailed.message":"Nem sikerült bejelentkezni: {rawMessage}","codex.stories.toast.show":"Köszöntő megjelenítése","codex.stories.tooltip.basic":"Ez egy eszköztipp","codex.stories.tooltip.hoverMe":"Vigyél át","codex.stories.tooltip.largerOffset":"Ennek az eszköztippnek nagy az eltolása","codex.stories.tooltip.offsetButton":"Nagyobb eltolás","codex.stories.tooltip.shortcutButton":"Gyorsparanccsal","codex.stories.tooltip.withShortcut":"Terminál kapcsoló","codex.taskRow.title":"Új témaszál","codex.taskRowLayout.confirm":"Megerősítés","codex.threadFindBar.chatFilter":"Csevegés keresése","codex.threadFindBar.close":"Keresés bezárása","codex.threadFindBar.diffFilter":"Diffek keresése","codex.threadFindBar.label":"Keresés témaszálban","codex.threadFindBar.nextResult":"Következő találat","codex.threadFindBar.noResults":"0 találat","codex.threadFindBar.placeholder":"Témaszál keresése folyamatban...","codex.threadFindBar.placeholder.extension":"Témaszál keresése folyamatban...","codex.threadFindBar.placeholder.review":"Diffek keresése...","codex.threadFindBar.placeholder.review.extension":"Diffek keresése...","codex.threadFindBar.previousResult":"Előző találat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fájl módosítva} other {# fájl módosítva}}","codex.unifiedDiff.inlineLargeFile":"Túl nagy ahhoz, hogy inline-ban megjelenjen","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Visszavonás","codex.unifiedDiff.revertPatchError":"Nem sikerült visszaállítani a módosításokat","codex.unifiedDiff.revertPatchSuccess":"Módosítások visszaállítva","codex.unifiedDiff.reviewChangesSuffix":"módosítások","codex.unifiedDiff.reviewShort":"Áttekintés","codex.unifiedDiff.viewDiffTooltip":"Áttekintés","codex.upsellBanner.business.headline":"Ha most több hozzáférést szeretnél, küldj kérést az adminisztrátorodnak, vagy várj eddig: {resetDate}.","codex.upsellBanner.cbp.headline":"Ha most szeretnél több hozzáférést kapni, küldj kérelmet az adminisztrátorodnak.","codex.upsellBanner.cta.addCredits":"Kreditek hozzáadása","codex.upsellBanner.cta.upgradeAccount":"Bővítés","codex.upsellBanner.cta.viewUsage":"Használat megtekintése","codex.upsellBanner.freeOrGo.headline":"Az árlimited visszaáll ekkor: {resetDate}. A Codex használatának folytatásához bővíts Plusra még ma.","codex.upsellBanner.general.headline":"Az árlimited visszaáll ekkor: {resetDate}.","codex.upsellBanner.general.title":"Kifogytál a Codex üzenetekből","codex.upsellBanner.plus.headline":"Az árlimited visszaáll ekkor: {resetDate}. A Codex használatának folytatásához adj hozzá krediteket vagy bővíts Prora még ma.","codex.upsellBanner.pro.headline":"Az árlimited visszaáll ekkor: {resetDate}. Adj hozzá krediteket a Codex folytatásához.","codex.userMessage.autoResolveSync":"Ütközések automatikus megoldása","codex.userMessage.commentCount":"{count, plural, one {# hozzászólás} other {# hozzászólás}}","codex.userMessage.copiedAriaLabel":"Másolva","codex.userMessage.copiedTooltip":"Másolva","codex.userMessage.copyAriaLabel":"Üzenet másolása","codex.userMessage.copyTooltip":"Másolás","codex.userMessage.implementPlan":"Terv megvalósítása","codex.userMessage.noContent":"(Nincs tartalom)","codex.userMessage.priorConversation":"Beszélgetés előtti referenciák","codex.userMessage.reviewMode":"Áttekintés mód","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"ehhez: {query}","codex.webSearch.summary.verb.completed":"Keresve a weben","codex.webSearch.summary.verb.inProgress":"Keresés a weben","codex.windowsInstallWslBanner.dismiss":"Elvetés","codex.windowsInstallWslBanner.installWslCta":"Sandbox engedélyezése","codex.windowsInstallWslBanner.learnMore":"További információ","codex.windowsSandboxBanner.content":"Az ügynök mód egy kísérleti sandboxot használ Windows rendszeren, hogy korlátozza a fájlrendszerhez és a hálózathoz való hozzáférést. {sandboxLink}","codex.windowsSandboxBanner.title":"Sandbox engedélyezése az Ügynök módhoz","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows beállítások","codexUpgradeModal.body":"A Codex mostantól a GPT-5.2-Codex, a legújabb agentikus kódolási modellünkkel működik. A kódolásban {link}; tovább javul a GPT-5.2-vel.","codexUpgradeModal.close":"Bezárás","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"okosabb és gyorsabb","codexUpgradeModal.title":"A Codex frissítést kapott","codexUpgradeModal.tryNewModel":"Próbáld ki a GPT-5.2-Codexet most","codexUpgradeModal.useExistingModel":"Folytatás a jelenlegi modellel","commentAttachments.numComments":"{count, plural, one {# hozzászólás} other {# hozzászólás}}","commentAttachments.removeAriaLabel":"Hozzászólás-csatolmányok eltávolítása","common.close":"Bezárás","composer.addContext.openFilePickerError":"Nem sikerült megnyitni a fájlválasztót","composer.addContextDropdown.ariaLabel":"Fájlok és egyebek hozzáadása","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Fájlok és egyebek hozzáadása","composer.addPhotosAndFiles":"Fotók és fájlok hozzáadása","composer.atMentionList.emptyQuery":"Írj be a fájlok kereséséhez","composer.atMentionList.loading":"Keresés folyamatban…","composer.atMentionList.noResults":"Nincs találat","composer.attemptsSelector.option":"{count, plural, one {# verzió} other {# verzió}}","composer.attemptsSelector.tooltip":"A Codex által végrehajtott párhuzamos kísérletek száma","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Leállítás","composer.cloudFollowUp.cloud":"Felhő","composer.cloudFollowUp.local":"Helyi","composer.cloudFollowUp.whereRun":"Hol fusson ez az utánkövetés?","composer.cloudTaskCreationError":"Hiba a felhőfeladat létrehozásakor","composer.cloudTaskError":"Hiba a feladat létrehozásakor","composer.contextWindow.autoCompactionTooltipLine1":"A Codex automatikusan tömöríti a kontextust","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Kontextusablak","composer.contextWindowUsageStatusFull":"{usage}%-ban megtelt","composer.contextWindowUsageStatusLeft":"{usage}% felhasználva ({remaining}% maradt)","composer.contextWindowUsageTooltip":"{usedTokens} / {contextWindow} ezer token felhasználva","composer.customCliTooltip":"Egyéni CLI végrehajtható fájl használata","composer.dictation.aria":"Diktálás","composer.dictation.cancel.aria":"Diktálás leállítása","composer.dictation.cancel.tooltip":"Diktálás leállítása","composer.dictation.startError":"Nem lehet elindítani a diktálást","composer.dictation.submit.aria":"Átírás és küldés","composer.dictation.submit.tooltip":"Átírás és küldés","composer.dictation.tooltip":"Tartsd a diktáláshoz","composer.dictation.transcribeError":"Nem lehet átírni a hangot","composer.dictation.unsupported":"A diktálás nem érhető el ezen az eszközön","composer.dropOverlay.holdShift":"Tartsd lenyomva a {key} gombot az ejtéshez","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Új létrehozása","composer.environmentSelector.error":"Hiba a környezetek betöltése során","composer.environmentSelector.goBack":"Vissza az összeállítóhoz","composer.environmentSelector.title":"Válassz környezetet","composer.environmentSelector.tooltip":"Felhőkörnyezet kiválasztása","composer.feedbackSlashCommand.title":"Visszajelzés","composer.filePicker.selectFile":"Válassz egy fájlt","composer.filePicker.selectFiles":"Fájlok kiválasztása","composer.followerTooltip":"A folytatáshoz térj vissza az ablakhoz, ahol ez a beszélgetés megkezdődött.","composer.footer.branchSwitch.checkoutError":"Nem sikerült ágazatot váltani: {message}","composer.footer.branchSwitch.createAndCheckout":"Új ágazat létrehozása és frissítése...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Küldd be a módosításokat az új ágazat létrehozásához és ellenőrzéséhez","composer.footer.branchSwitch.createBranchError":"Nem sikerült létrehozni az ágazatot: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Ágazat neve","composer.footer.branchSwitch.createDialog.branchExistsError":"Az ágazat már létezik.","composer.footer.branchSwitch.createDialog.close":"Bezárás","composer.footer.branchSwitch.createDialog.createAndCheckout":"Létrehozás és ellenőrzés","composer.footer.branchSwitch.createDialog.placeholder":"új ágazat","composer.footer.branchSwitch.createDialog.title":"Ágazat létrehozása és ellenőrzése","composer.footer.branchSwitch.createDialog.trailingSlashError":"Az ágazat neve nem végződhet a következővel: /.","composer.footer.branchSwitch.tooltip":"Ágazat váltása","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Küldd be a módosításokat itt: {fileCount, plural, one {# fájl} other {# fájl}} a(z) {branchName} ellenőrzéséhez.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Vállalás","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"módosítások itt: {fileCount, plural, one {# fájl} other {# fájl}} a(z) {branchName} ellenőrzéséhez.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Mégse","composer.footer.branchSwitch.uncommittedDialog.commit":"Beküldés és ágazatváltás...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"A következő fájlokban végzett módosításait az ellenőrzés felülírná:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Küldd be a módosításaid a folytatáshoz","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"a kiválasztott ágazat","composer.footer.branchSwitch.uncommittedDialog.title":"Küldd be a módosításokat az ágazatváltáshoz","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nincs beküldve: {fileCount, plural, one {# fájl} other {# fájl}}","composer.forkSlashCommand.description":"Ezt a szálat helyezd át a helyi vagy egy új worktreebe","composer.forkSlashCommand.option.local.description":"Folytatás új helyi témaszálban","composer.forkSlashCommand.option.local.title":"Áthelyezés helyire","composer.forkSlashCommand.option.worktree.description":"Folytatás új worktree-n","composer.forkSlashCommand.option.worktree.title":"Áthelyezés új worktree-be","composer.forkSlashCommand.title":"Elágazás","composer.imageInputsUnsupported":"Ez a modell nem támogatja a képbemeneteket. Próbálj ki egy másik modellt.","composer.imageUploadFailed":"Nem sikerült feltölteni a képet","composer.includeIdeContextDropdown":"IDE kontextus hozzáadása","composer.includeIdeContextDropdown.ariaLabel":"IDE kontextus hozzáadása","composer.localCwdDropdown.addWorkspaceRoot":"Új projekt hozzáadása","composer.localCwdDropdown.noActiveRoot":"Válaszd ki a projekted","composer.localCwdDropdown.noResults":"Nem találhatók mappák","composer.localCwdDropdown.title":"Válaszd ki a projekted","composer.localTaskError":"Hiba a beszélgetés indításakor","composer.mcpSlashCommand.description":"MCP szerverállapot megjelenítése","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nincs hitelesítve","composer.mcpStatus.authOauth":"Hitelesítve (OAuth)","composer.mcpStatus.authToken":"Hitelesítve (API-kulcs)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Bezárás","composer.mcpStatus.disabled":"Letiltva","composer.mcpStatus.emptyLabel":"Szerverek:","composer.mcpStatus.emptyValue":"Nincsenek konfigurálva MCP szerverek","composer.mcpStatus.enabled":"Engedélyezve","composer.mcpStatus.errorLabel":"Állapot:","composer.mcpStatus.errorValue":"Nem lehet betölteni az MCP állapotot","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Ügynök","composer.mode.agentMode.auto.dropdownLabel":"Ügynök","composer.mode.agentMode.auto.optionLabel":"Ügynök","composer.mode.agentMode.changePermission":"Módváltás","composer.mode.agentMode.custom":"Egyéni","composer.mode.agentMode.custom.dropdownLabel":"Egyéni","composer.mode.agentMode.custom.option":"Egyéni (config.toml)","composer.mode.agentMode.custom.optionLabel":"Egyéni (config.toml)","composer.mode.agentMode.customInfo.cancel":"Mégse","composer.mode.agentMode.customInfo.cli":"Ezeket a beállításokat a CLI-ből vagy a fájl közvetlen szerkesztésével állíthatod be.","composer.mode.agentMode.customInfo.confirm":"Egyéni mód használata","composer.mode.agentMode.customInfo.description":"Az egyéni mód az itt meghatározott jóváhagyási és sandbox-irányelveket alkalmazza: <link>config.toml</link> fájl.","composer.mode.agentMode.customInfo.docs":"További információk a jóváhagyási és sandbox-irányelvek konfigurálásáról: <link>execution environment dokumentum</link>.","composer.mode.agentMode.customInfo.refresh":"Bármely változtatás a következő ügynök futtatásakor lép hatályba.","composer.mode.agentMode.customInfo.title":"Hogyan működik az egyéni mód","composer.mode.agentMode.fullAccess":"Ügynök (teljes hozzáférés)","composer.mode.agentMode.fullAccess.dropdownLabel":"Ügynök (teljes hozzáférés)","composer.mode.agentMode.fullAccess.optionLabel":"Ügynök (teljes hozzáférés)","composer.mode.agentMode.fullAccessConfirm.caution":"Legyél óvatos, amikor teljes hozzáférést engedélyezel. Ez jelentősen növeli az adatvesztés, az adatok kiszivárgása vagy a váratlan viselkedés kockázatát.","composer.mode.agentMode.fullAccessConfirm.confirm":"Igen, mindenképp folytatom","composer.mode.agentMode.fullAccessConfirm.description":"Ha a Codex teljes hozzáféréssel fut, akkor a felhasználó jóváhagyása nélkül bármelyik fájlt szerkesztheti a számítógépen, és hálózati parancsokat futtathat.","composer.mode.agentMode.fullAccessConfirm.goBack":"Mégse","composer.mode.agentMode.fullAccessConfirm.title":"Teljes hozzáférés megadása?","composer.mode.agentMode.readOnly":"Csevegés","composer.mode.agentMode.readOnly.dropdownLabel":"Csevegés","composer.mode.agentMode.readOnly.optionLabel":"Csevegés","composer.mode.agentMode.tooltip":"Módváltás","composer.mode.agentMode.tooltip.auto":"Fájlok olvasása és szerkesztése és parancsok futtatása.","composer.mode.agentMode.tooltip.custom":"Használd a config.toml fájlban meghatározott legújabb jóváhagyási és sandbox-irányelveket.","composer.mode.agentMode.tooltip.fullAccess":"A Codex a projekten kívüli fájlokat is szerkesztheti, és hálózati hozzáféréssel parancsokat futtathat. Használatakor legyél óvatos.","composer.mode.agentMode.tooltip.readOnly":"A fájlok szerkesztéséhez és a parancsok futtatásához jóváhagyás szükséges.","composer.mode.cloud.tooltip":"Munkavégzés felhőkörnyezetben","composer.mode.contactAdmin":"A további hozzáférésért fordulj az adminisztrátorodhoz","composer.mode.local":"Helyi","composer.mode.local.learnMore":"További információ","composer.mode.local.model.custom":"Egyéni","composer.mode.local.model.loadingModel":"Modell betöltése","composer.mode.local.model.selecrReasoningEffort":"Indoklás kiválasztása","composer.mode.local.model.selectModel":"Modell kiválasztása","composer.mode.local.model.tooltip":"Modell kiválasztása","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Magas","composer.mode.local.reasoning.low.label":"Alacsony","composer.mode.local.reasoning.medium.label":"Közepes","composer.mode.local.reasoning.minimal.label":"Minimális","composer.mode.local.reasoning.none.label":"Nincs","composer.mode.local.reasoning.xhigh.label":"Extra magas","composer.mode.localRemoteWhereRun":"A feladat futtatása helyének kiválasztása","composer.mode.newTask.header":"Folytatás itt","composer.mode.rateLimit.day":"{days} n","composer.mode.rateLimit.heading":"Hátralévő árlimit","composer.mode.rateLimit.hour":"{hours} ó","composer.mode.rateLimit.minute":"{minutes} p","composer.mode.rateLimit.modelSectionLabel":"{modelName} limit:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {heti limit} other {{weeks} heti limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Hetente} other {{weeks} hét}}","composer.mode.remote.connectToCloud":"Csatlakozás a Codex webhez","composer.mode.remote.connectToCloudDisabledTooltip":"Jelentkezz be, hogy ellenőrizd jogosultságod az ingyenes és biztonságos ChatGPT tanároknak munkaterülethez.","composer.mode.remote.selectEnvironment":"Válassz környezetet","composer.mode.remote.sendToCloud":"Küldés felhőre","composer.mode.remote.setupViaWeb":"Állíts be egy környezetet a Codex webbel","composer.mode.runInCloud":"Felhő","composer.mode.runInCloudWithEnvironment":"Felhő · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Munkavégzés felhőkörnyezetben","composer.mode.segmentedToggle.local.tooltip":"Munkavégzés helyi projektben","composer.mode.segmentedToggle.worktree.tooltip":"Munkavégzés párhuzamos worktree-n","composer.mode.upgradeToPlus":"Bővítés a Plusra","composer.mode.upgradeToPro":"Bővítés a Pro-ra","composer.mode.workLocally":"Helyi projekt","composer.mode.workLocally.currentBranchFallback":"az ágazatod","composer.mode.workLocally.tooltip":"Munkavégzés a következőn: {branchName}","composer.mode.worktree":"Új worktree","composer.mode.worktree.submoduleWarning":"Ez a repo git almodulokat tartalmaz. A munkakönyvtár létrehozása sikertelen lehet","composer.mode.worktree.tooltip":"Párhuzamos munkavégzéshez készíts másolatot a helyi projektedről","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"A beszélgetés közbeni modellváltás rontja a teljesítményt.","composer.newChat.heading.browser":"Mit kódoljunk legközelebb?","composer.permissionsDropdown.custom.label":"Egyéni (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Egyéni (config.toml)","composer.permissionsDropdown.default.label":"Alapértelmezett engedélyek","composer.permissionsDropdown.default.optionLabel":"Alapértelmezett engedélyek","composer.permissionsDropdown.fullAccess.disabled":"A teljes hozzáférés a requirements.toml által letiltva","composer.permissionsDropdown.trigger.tooltip":"Engedélyek módosítása","composer.personalitySlashCommand.description.friendly":"Szívélyes, együttműködő és hasznos","composer.personalitySlashCommand.description.pragmatic":"Pontos, feladatra összpontosító, közvetlen","composer.personalitySlashCommand.label.friendly":"Barátságos","composer.personalitySlashCommand.label.pragmatic":"Pragmatikus","composer.personalitySlashCommand.notApplicableSuffix":"(Nem vonatkozik a jelenlegi modellre)","composer.personalitySlashCommand.title":"Személyiség","composer.placeholder.cloudFollowUp.directFollowUp":"A felhőfeladat nyomon követése","composer.placeholder.cloudFollowUp.local":"Hozz létre egy új helyi feladatot, amely hivatkozik erre a felhőfeladatra","composer.placeholder.cloudFollowUp.workingTree":"Hozz létre egy új felhőfeladatot, amely tartalmazza a jelenlegi kódot, és hivatkozik erre a feladatra","composer.placeholder.localFollowUp.cloud":"Követés egy új felhőfeladatban","composer.placeholder.localFollowUp.locally":"Követési módosítások kérése","composer.placeholder.newTask.cloud":"Kérdezz a Codextől bármit a felhőben","composer.placeholder.newTask.doAnything":"Kérdezz a Codextől bármit","composer.placeholder.newTask.locally":"Kérdezz bármit a Codex-től, @ fájlok hozzáadásához, / parancsokhoz","composer.planModeDropdown":"Tervezési mód","composer.planModeDropdown.ariaLabel":"Tervezési mód","composer.planModeIndicator":"Csomag","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Tervezési mód kikapcsolása","composer.planSlashCommand.enableDescription":"Tervezési mód bekapcsolása","composer.planSlashCommand.title":"Tervezési mód","composer.priorContext.label":"Előző kontextus","composer.priorContext.removeAriaLabel":"Előző kontextus eltávolítása","composer.queuedMessage.delete":"Sorban álló üzenet törlése","composer.queuedMessage.edit":"Üzenet szerkesztése","composer.queuedMessage.more":"Sorban álló üzenetműveletek","composer.queuedMessage.sendNow":"Küldés most","composer.queuedMessage.turnOff":"Sorban állás kikapcsolása","composer.reasoningEffort.local.reasoning.tooltip":"Indoklási hatékonyság kiválasztása","composer.remote.branchStartingPoint":"Melyik ágazatból induljon a feladat?","composer.remote.branchesSectionHeading":"Ágak","composer.remote.currentEditsSuffix.followUp":"Hozz létre egy új feladatot, amely hivatkozik erre a felhőfeladatra.","composer.remote.currentEditsSuffix.useLocal":"helyi kódmódosításokkal","composer.remote.directFollowUp":"Ne használj helyi nyelvet","composer.remote.errorLoadingBranches":"Hiba történt az ágazatok betöltése közben","composer.remote.fromBranch":"A következőtől: {branch}","composer.remote.fromCurrentBranch":"Innen: {branch} (jelenlegi)","composer.remote.loadingMoreBranches":"Betöltés…","composer.remote.localFileStateHeading":"Helyi fájl állapota","composer.remote.localWorkingTree":"Helyi módosítások használata","composer.remote.startingPoint":"Melyik kódból induljon a feladat?","composer.reviewMode.branches.error":"Nem sikerült betölteni az ágakat","composer.reviewMode.branches.retry":"Újrapróbálkozás","composer.reviewMode.gitRoot.error":"A git gyökér nem található","composer.reviewMode.option.baseBranch.simple":"Áttekintés egy alapághoz képest","composer.reviewMode.option.unstaged.simple":"Be nem küldött módosítások áttekintése","composer.reviewMode.quickReviewError":"Nem sikerült elindítani a kódellenőrzést.","composer.reviewMode.title":"Kód áttekintése","composer.sandboxButton.unlock.disabled.tooltip":"A teljes hozzáférés a requirements.toml által letiltva","composer.sandboxButton.windowsSandboxDialog.content":"A Codex egy kísérleti sandboxot használhat Windows rendszeren a fájlrendszerhez és a hálózathoz való hozzáférés korlátozására. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Engedélyezed a Windows sandboxot?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Csak olvasható használata","composer.searchEnvironments":"Keress környezeteket","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Készségek betöltése...","composer.skillMentionList.noResults":"Nem találhatók készségek","composer.slashCommands.cloudEnvironment.title":"Felhőkörnyezet","composer.slashCommands.dialogLabel":"Slash parancs menü","composer.slashCommands.dialogTitle":"Slash parancsok","composer.slashCommands.disabledTooltip":"Új beszélgetés indítása a slash parancsok használatához","composer.slashCommands.inputPlaceholder":"Keresés","composer.slashCommands.noResults":"Nincsenek parancsok","composer.slashCommands.skillsGroup":"Készségek","composer.slashCommands.tooltip":"Slash parancsok böngészése","composer.status.close":"Bezárás","composer.statusPlain.alertLabel":"Riasztás","composer.statusPlain.alertValue":"{remaining}% maradt ekkor: {window}","composer.statusPlain.contextLabel":"Kontextus:","composer.statusPlain.contextTotal":"{count} e","composer.statusPlain.contextValueMetadata":"({used} használva / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% maradt","composer.statusPlain.heading":"Állapot","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limit:","composer.statusPlain.rateLimitDays":"{count} napos limit","composer.statusPlain.rateLimitFallbackLabel":"Árlimit:","composer.statusPlain.rateLimitHours":"{count} órás limit","composer.statusPlain.rateLimitLabelBase":"Árlimit","composer.statusPlain.rateLimitMinutes":"{count} perces limit","composer.statusPlain.rateLimitPercent":"{remaining}% maradt","composer.statusPlain.rateLimitReset":"visszaállítja: {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"a visszaállítási idő nem érhető el","composer.statusPlain.rateLimitUnavailable":"Nem áll rendelkezésre","composer.statusPlain.sessionCopiedAriaLabel":"Munkamenet-azonosító másolva","composer.statusPlain.sessionCopiedTooltip":"Azonosító másolva","composer.statusPlain.sessionCopyAriaLabel":"Munkamenet-azonosító másolása","composer.statusPlain.sessionCopyTooltip":"Azonosító másolása","composer.statusPlain.sessionLabel":"Munkamenet:","composer.statusSlashCommand.description":"Témaszálazonosító, kontextushasználat és sebességkorlátozások megjelenítése","composer.statusSlashCommand.title":"Állapot","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Nem sikerült elküldeni az üzenetet","composer.submit.emptyMessage":"Adj meg egy üzenetet a kezdéshez","composer.submit.imageInputsUnsupported":"Távolítsd el a képeket vagy válts modellt, hogy elküldhesd ezt az üzenetet.","composer.submit.loadingLocalConfig":"Betöltés…","composer.submit.missingCloudConfig":"Választanod kell egy felhőkörnyezetet","composer.submit.missingCloudTurn":"Nem sikerült utánkövetni ezt a feladatot","composer.submit.noWorkspace":"Adj hozzá egy projektet a Codex használatához","composer.submit.waitForImageUploads":"Képek feltöltése...","composer.submitButtonTooltip.send":"Küldés","composer.submitButtonTooltip.stop":"Leállítás","composer.worktreeEnvironment.create":"Helyi környezet létrehozása","composer.worktreeEnvironment.default":"Alapértelmezett környezet","composer.worktreeEnvironment.error":"Hiba a környezetek betöltése során","composer.worktreeEnvironment.loading":"Környezetek betöltése...","composer.worktreeEnvironment.title":"Helyi környezet","composer.worktreeEnvironment.tooltip":"Válassz egy helyi környezetet","composer.worktreeSetupFailed":"A Worktree beállítása sikertelen. Ellenőrizd a .codex/environments mappát a beállítási szkriptért.","compoundButton.secondaryAction":"Másodlagos művelet","copyButton.copied":"Másolva","copyButton.copiedAriaLabel":"Másolva","copyButton.copy":"Másolás","copyButton.copyAriaLabel":"Másolás","copyButton.copyCode":"Kód másolása","diff.actionButton.revertFile":"Fájl visszaállítása","diff.actionButton.revertHunk":"Visszaállítás","diff.actionButton.revertSection":"Összes visszaállítása","diff.actionButton.revertSectionLabel":"Összes visszaállítása","diff.actionButton.stageFile":"Fájl előkészítése","diff.actionButton.stageHunk":"Előkészítés","diff.actionButton.stageSection":"Összes előkészítése","diff.actionButton.stageSectionLabel":"Összes előkészítése","diff.actionButton.unstageFile":"Fájl eltávolítása","diff.actionButton.unstageHunk":"Eltávolítás","diff.actionButton.unstageSection":"Összes eltávolítása","diff.actionButton.unstageSectionLabel":"Összes eltávolítása","diff.fileHeader.toggle":"Fájldiff kapcsoló","electron.onboarding.login.apikey.cancel":"Mégse","electron.onboarding.login.apikey.continue":"Tovább","electron.onboarding.login.apikey.label":"OpenAI API-kulcs","electron.onboarding.login.apikey.open":"API-kulcs megadása","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Bejelentkezés megszakítása","electron.onboarding.login.chatgpt.continue":"Folytatás ChatGPT-vel","electron.onboarding.login.devbox":"Csatlakozás egy távoli SSH-hoz","electron.onboarding.login.error":"Nem sikerült bejelentkezni: {rawMessage}","electron.onboarding.login.snake.start":"Kígyós játék játszása","electron.onboarding.login.sshConfig.cancel":"Mégse","electron.onboarding.login.sshConfig.continue":"Tovább","electron.onboarding.login.sshConfig.hostnameLabel":"SSH hostnév","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Próbáld ki az építés legjobb módját az ügynökökkel","electron.onboarding.login.title":"Üdvözlünk a Codexben","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Tovább","electron.onboarding.welcome.doubleLimits.description":"A Codex alkalmazás elindításának ünneplésére április 2-ig kétszeres sebességkorlátozás érvényes.","electron.onboarding.welcome.freego.description":"A Codex március 2-ig ingyenesen része a csomagodnak – kezdjük el együtt építeni!","electron.onboarding.welcome.new.title.anon":"Üdv!","electron.onboarding.workspace.continue":"Tovább","electron.onboarding.workspace.empty":"Adj hozzá egy projektet a folytatáshoz.","electron.onboarding.workspace.listLabel":"Elérhető projektek","electron.onboarding.workspace.loading":"Projektek betöltése...","electron.onboarding.workspace.openFolder":"Projekt hozzáadása","electron.onboarding.workspace.selectAll":"Összes kiválasztása","electron.onboarding.workspace.skip":"Kihagyás","electron.onboarding.workspace.skip.error":"Nem sikerült új projektet létrehozni: {message}","electron.onboarding.workspace.skip.error.unknown":"Ismeretlen hiba","electron.onboarding.workspace.skipping":"Új projekt létrehozása…","electron.onboarding.workspace.subtitle":"A Codex képes lesz fájlokat szerkeszteni és parancsokat futtatni a kiválasztott mappákban.","electron.onboarding.workspace.title":"Válassz egy projektet","errorPage.list.checkSettings":"Próbáld frissíteni az IDE-beállításaid","errorPage.list.configToml":"Ellenőrizd a config.toml fájlt érvénytelen beállítások miatt.","errorPage.list.downloadExtension":"Próbáld meg letölteni a kiterjesztés egy másik verzióját.","errorPage.list.runInWsl":"Ellenőrizd a beállításokat, hogy letiltsd a WSL futtatását, ha kompatibilitási problémákat tapasztalsz.","execApprovalRequest.menu.runAlways":"Igen, és ne kérdezd meg újra ebben a munkamenetben","execApprovalRequest.menu.runAlwaysWithAmendment":"Igen, és ne kérdezd meg újra azokat a parancsokat, amelyek ezzel kezdődnek: {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Igen, és ne kérdezd meg újra azokat a parancsokat, amelyek ezzel kezdődnek:","execApprovalRequest.menu.runOnce":"Igen","execApprovalRequest.prompt":"Szeretnéd futtatni ezt a parancsot?","execApprovalRequest.reject":"Nem","execFooter.exitCode":"Kilépési kód {code}","execFooter.exitCode.unknown":"ismeretlen","execFooter.success":"Sikeres","feedback.dialog.category.badResult":"Rossz eredmény","feedback.dialog.category.bug":"Hiba","feedback.dialog.category.goodResult":"Jó eredmény","feedback.dialog.category.other":"Egyéb","feedback.dialog.descriptionPlaceholder":"Írd le a problémát itt","feedback.dialog.dismiss":"Elvetés","feedback.dialog.includeLogsLabel":"A jelenlegi Codex-munkamenetnaplók belefoglalása","feedback.dialog.submit":"Beküldés","feedback.dialog.submitError":"Nem tudtuk elküldeni a visszajelzésed. Kérjük, próbálkozz újra egy kicsit később.","feedback.dialog.title":"Visszajelzés","feedback.dialog.uploadedMessage.existingIssue":"meglévő nyitott kérdés","feedback.dialog.uploadedMessage.openIssue":"GitHub hiba megnyitása","feedback.dialog.uploadedMessage.withThread":"Visszajelzés feltöltve. Ha a probléma továbbra is fennáll, kérjük, {openIssueLink} vagy említsd meg a témaszál azonosítóját a következőn: {existingIssueLink}:","feedback.dialog.uploadedTitle":"Visszajelzés feltöltve","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} eltávolítása","header.back":"Vissza","header.recentChats":"Feladatok","header.recentTasks.seeAll":"Összes megtekintése ({total})","home.header.getPlus":"Előfizetés a Plusra","home.hero.letsBuild":"Építsünk","homePage.mainContent":"Fő tartalom","imageAttachment.defaultName":"kép","imageAttachment.preview.close":"Kép előnézetének bezárása","imageAttachment.removeAriaLabel":"{filename} eltávolítása","implementPlanRequest.option.implement":"Igen, valósítsa meg a tervet","implementPlanRequest.prompt":"Megvalósítsam ezt a tervet?","inbox.archived.deleteError":"Nem sikerült törölni az archivált futtatást","inbox.archived.deleteRun":"Archivált futtatás törlése","inbox.archived.deleteSuccess":"Törölt archivált témaszál. Tekintsd meg az <settingsLink>Archivált témaszálakban</settingsLink>.","inbox.archived.inlineLabel.auto":"Ez a témaszál automatikusan archiválva lett. <learnMoreLink>További információ</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ez a témaszál archiválva volt.","inbox.archived.noMessageFound":"Nem található üzenet","inbox.automations.createError":"Nem sikerült automatizálást létrehozni","inbox.automations.deleteConfirm.cancel":"Mégse","inbox.automations.deleteConfirm.confirm":"Automatizálás törlése","inbox.automations.deleteConfirm.description":"Ezzel az automatizálás véglegesen törlődik, és a jövőbeni futtatások leállnak.","inbox.automations.deleteConfirm.title":"{name} törlése?","inbox.automations.deleteError":"Nem sikerült törölni az automatizálást","inbox.automations.editTooltip":"Automatizálás szerkesztése","inbox.automations.inProgress":"Folyamatban","inbox.automations.new":"Új","inbox.automations.newToolbar":"Új automatizálás","inbox.automations.pauseTooltip":"Automatizálás szüneteltetése","inbox.automations.resumeTooltip":"Automatizálás folytatása","inbox.automations.startingNow":"Kezdés most","inbox.automations.startsIn":"Kezdésig hátralévő idő: {startTime}.","inbox.automations.status.active":"Aktív","inbox.automations.status.paused":"Szüneteltetve","inbox.automations.status.runs":"{count} futtatás","inbox.automations.status.started":"{date} elkezdve","inbox.automations.updateError":"Nem sikerült automatizálást frissíteni","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Összes","inbox.filter.ariaLabel":"Bejövő üzenetek elemeinek szűrése","inbox.filter.unread":"Olvasatlan","inbox.list.archived":"Archivált","inbox.list.inProgress":"Folyamatban","inbox.list.recent":"Befejezve","inbox.list.upNext":"Ütemezve","inbox.mode.automations":"Automatizálások","inbox.mode.automations.beta":"Béta","inbox.noDescription":"Nincs megadva leírás","inbox.openThread":"Témaszál megnyitása","inbox.rightPanel.emptySubtitle":"Automatizáld a munkát ütemezett feladatok beállításával","inbox.rightPanel.emptySubtitle.learnMore":"Automatizáld a munkát ütemezett témaszálak beállításával. <link>További információk</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktív automatizálás} other {# aktív automatizálás}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nincsenek olvasatlan automatizálások","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# olvasatlan automatizálás} other {# olvasatlan automatizálás}}","inbox.rightPanel.emptyTitle":"Nincs kiválasztva elem","inbox.rightPanel.noThread":"Nincs témaszál ehhez az elemhez","inbox.rightPanel.quickStart.header":"Kezdd egy sablonnal","inbox.untitled":"Névtelen bejövő üzenetek elem","loadingPage.documentationLink":"dokumentum","loadingPage.errorDescription":"A Codex a következő hibával összeomlott:","loadingPage.errorDescription.documentation":"Kattints az Újratöltés gombra a Codex kiterjesztés újraindításához, vagy látogass el a(z) {documentationLink} oldalunkra további segítségért.","loadingPage.errorSignal":"Pár dolog, amit kipróbálhatsz:","loadingPage.errorTitle":"Hiba történt","loadingPage.openConfigToml":"Config.toml megnyitása","loadingPage.reload":"Újratöltés","localConversation.contextCompacted":"A kontextus automatikusan tömörítve","localConversation.contextCompacting":"A kontextus automatikus tömörítése","localConversation.forkedFromConversation":"Áthelyezve innen: {threadTitle}","localConversation.merge.autoResolve.failed":"Az automatikus megoldás kérése sikertelen: {error}","localConversation.merge.autoResolve.sent":"Automatikus megoldásra vonatkozó kérés elküldve","localConversation.merge.autoResolveMerge.missingConversation":"Aktív beszélgetés nélkül nem oldható meg automatikusan.","localConversation.merge.autoResolveMerge.request":"Az egyesítési ütközések automatikus megoldása","localConversation.modelChanged":"Modell átváltva erről: {fromModel} erre: {toModel}.","localConversation.modelChanged.warning.line1":"A beszélgetés közbeni modellváltás rontja a teljesítményt.","localConversation.modelChanged.warning.line2":"A kontextus automatikusan tömörülhet.","localConversation.moveThread.createBranch.label":"Ágazat létrehozása","localConversation.moveToLocal.disabled.loading":"Betöltés…","localConversation.moveToLocal.modal.continue":"Tovább","localConversation.moveToLocal.modal.destinationLabel":"Áthelyezés ide:","localConversation.moveToLocal.modal.retry":"Újrapróbálkozás","localConversation.moveToWorktree.modal.back":"Vissza","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Az ágazat már létezik.","localConversation.moveToWorktree.modal.branchesError":"Nem sikerült betölteni az ágakat","localConversation.moveToWorktree.modal.branchesLoading":"Ágazatok betöltése...","localConversation.moveToWorktree.modal.branchesRetry":"Újrapróbálkozás","localConversation.moveToWorktree.modal.continue":"Tovább","localConversation.moveToWorktree.modal.retry":"Újrapróbálkozás","localConversation.moveToWorktree.modal.trailingSlashError":"Az ágazat neve nem végződhet a következővel: /.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"új ágazat","localConversation.personalityChanged":"Átváltva {personality} személyiségre","localConversation.planSummary.collapse":"Tervösszegzés összecsukása","localConversation.planSummary.collapseTooltip":"Összecsukás","localConversation.planSummary.download":"Terv letöltése","localConversation.planSummary.expand":"Tervösszegzés kibontása","localConversation.planSummary.expandTooltip":"Kibontás","localConversation.planSummary.openInNewWindow":"Megnyitás","localConversation.planSummary.openInNewWindow.tooltip":"Megnyitás új ablakban","localConversation.planSummary.title":"Csomag","localConversation.planSummary.titleWriting":"Terv írása","localConversation.planSummary.viewPlan":"Terv kibővítése","localConversation.remoteTaskCreated":"{taskLink} létrehozva Codex felhőben","localConversation.remoteTaskCreated.task":"feladat","localConversation.scrollToBottomButton":"Görgetés az oldal aljára","localConversation.sync.buttonLabel":"Átadás helyire","localConversation.sync.buttonLabel.tooltip":"A változások átadása a munkakönyvtár és a helyi ellenőrzés között.","localConversation.sync.modal.loading.title":"Változások átadása…","localConversation.sync.modal.noChanges":"Nincsenek módosítások","localConversation.syncSetup.branchAriaLabel":"Ágazat neve","localConversation.syncSetup.branchName":"Ágazat neve","localConversation.syncSetup.branchPlaceholder.existing":"Meglévő ágazat kiválasztása","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Ágazatok betöltése...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Már ellenőrizve","localConversation.syncSetup.checkoutClean":"Jelenleg {branchName}","localConversation.syncSetup.checkoutDirty":"Jelenleg {branchName}, be nem küldött módosításokkal","localConversation.syncSetup.checkoutError":"Nem sikerült ellenőrizni az ágazatot: {message}","localConversation.syncSetup.checkoutLabel":"Nézd meg helyileg most","localConversation.syncSetup.checkoutOnLocal":"Átadás helyire","localConversation.syncSetup.checkoutPending":"Helyi állapot ellenőrzése...","localConversation.syncSetup.checkoutUnavailable":"A helyi munkaterület nem érhető el","localConversation.syncSetup.checkoutUnknown":"A helyi ágazat nem érhető el","localConversation.syncSetup.continue":"Tovább","localConversation.syncSetup.createBranchError":"Az ágazatkiadás beállítása sikertelen: {message}","localConversation.syncSetup.error":"Hiba történt: {message}","localConversation.syncSetup.error.workingTreeMissing":"A worktree pillanatképe nem készíthető el. Kérjük, próbáld meg újra az átadást.","localConversation.syncSetup.mode.ariaLabel":"Ágazat mód kiválasztása","localConversation.syncSetup.mode.existing":"Meglévő ágazat","localConversation.syncSetup.mode.new":"Új ágazat","localConversation.syncSetup.noBranches":"Nem találhatók ágazatok","localConversation.syncSetup.overwriteError":"Az ág létrehozásra került, de még nem került teljes átadásra. A helyi kijelentkezés előtt végezd el a kézi átadást.","localConversation.syncSetup.setPrefix":"Előtag beállítása","localConversation.syncSetup.subtitle":"Teszteld és szerkeszd a munkakönyvtár változásait helyileg. <a>További információ</a>","localConversation.syncSetup.success.checkedOut":"Az ágazat létre lett hozva, és helyileg van ellenőrizve","localConversation.syncSetup.success.notCheckedOut":"Ágazat létrehozva","localConversation.syncSetup.title":"Átadás egy helyi ágazatnak","localConversation.syncWorktreeError.branchAriaLabel":"Ágazat neve","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Válassz ki egy ágazatot, amelyre át szeretnél adni, majd próbáld meg újra betölteni a módosításokat.","localConversation.syncWorktreeError.branchSetup.title":"Ágazat frissítése","localConversation.syncWorktreeError.branchUpdate.cta":"Frissítés és újrapróbálkozás","localConversation.syncWorktreeError.branchUpdate.error":"Nem sikerült frissíteni az ágazatot: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Hiba történt: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Az ágazat nincs kijelölve egyetlen worktreeben sem.","localConversation.syncWorktreeV2.applyUncommitted":"Alkalmazás","localConversation.syncWorktreeV2.applyUncommitted.disabled":"A nem elkötelezett változtatások alkalmazásához helyileg kell ellenőrizned az ágazatot","localConversation.syncWorktreeV2.branches.empty":"Nem találhatók ágazatok","localConversation.syncWorktreeV2.branches.loading":"Ágazatok betöltése...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Ágazatkiadás módosítása","localConversation.syncWorktreeV2.changeBranch.error":"Nem sikerült módosítani az ágazatkiadást: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Sikertelen alkalmazás","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"A worktree felülírása sikertelen","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Sikertelen helyi felülírás","localConversation.syncWorktreeV2.commandError.back":"Vissza","localConversation.syncWorktreeV2.commandError.body":"A git parancs végrehajtása közben hiba történt. Ellenőrizd a kimenetet, és próbálkozz újra.","localConversation.syncWorktreeV2.commandError.retry":"Újrapróbálkozás","localConversation.syncWorktreeV2.description":"Változások kiadása a helyi és ez a worktree között <a>További információ</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Kiadási irány kiválasztása","localConversation.syncWorktreeV2.error.generic":"Valami hiba történt a kiadáskor. Próbáld újra.","localConversation.syncWorktreeV2.localBranchLabel":"Helyi","localConversation.syncWorktreeV2.noChanges":"Módosítások kiszámítása","localConversation.syncWorktreeV2.noChanges.summary":"Nincsenek módosítások","localConversation.syncWorktreeV2.overwrite.local":"Helyi felülírás","localConversation.syncWorktreeV2.overwrite.worktree":"Worktree felülírása","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nem sikerült alkalmazni a módosításokat","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"A helyi módosítások felülírása nem sikerült","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"A munkakönyvtár változásait nem lehetett felülírni","localConversation.syncWorktreeV2.partial.appliedLabel":"Alkalmazva","localConversation.syncWorktreeV2.partial.back":"Vissza","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Oldd meg az ütközéseket, és próbáld újra.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Ütközések","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fájl} other {# fájl}}","localConversation.syncWorktreeV2.partial.retry":"Újrapróbálkozás","localConversation.syncWorktreeV2.partial.skippedLabel":"Kihagyva","localConversation.syncWorktreeV2.stateFailed.generic":"Hiba történt a worktree változásainak lekérésénél. Kérjük, próbálkozz újra.","localConversation.syncWorktreeV2.stateFailed.title":"Nem sikerült betölteni a worktree módosításait","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nem sikerült betölteni a worktree módosításait.","localConversation.syncWorktreeV2.statusError.retry":"Újrapróbálkozás","localConversation.syncWorktreeV2.statusError.title":"Nem sikerült betölteni a helyi ágazatmódosításokat","localConversation.syncWorktreeV2.statusError.unknown":"Az ágazat állapota jelenleg nem elérhető. Kérjük, próbálkozz újra.","localConversation.syncWorktreeV2.success.apply":"Módosítások sikeresen alkalmazva","localConversation.syncWorktreeV2.success.overwrite":"Sikeres kiadás","localConversation.syncWorktreeV2.title":"Kiadási módosítások","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"{count, plural, one {kérdés} other {kérdés}} megkérdezése","localConversation.userInputRequest.noAnswer":"Nincs megadva válasz","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Megkérdezve","localConversation.userInputRequest.summary.count":"{count, plural, one {# kérdés} other {# kérdés}}","localConversation.workedFor":"Ennyi ideig dolgozott: {time}","localConversation.worktreeBranchSetup.action.create":"Létrehozás","localConversation.worktreeBranchSetup.branchAriaLabel":"Ágazat neve","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Hozz létre egy új ágazatot","localConversation.worktreeBranchSetup.checkoutDisabled":"Ez az ágazat már ellenőrizve volt ekkor: {location}","localConversation.worktreeBranchSetup.checkoutError":"Nem sikerült ellenőrizni az ágazatot: {message}","localConversation.worktreeBranchSetup.createBranchError":"Nem sikerült beállítani az ágazatot: {message}","localConversation.worktreeBranchSetup.error":"Hiba történt: {message}","localConversation.worktreeBranchSetup.subtitle":"Hozz létre egy ágat a változtatások rögzítéséhez, küldd el, és hozz létre egy PR-t ebből a munkakönyvtárból. <a>További információ</a>","localConversation.worktreeBranchSetup.title":"Dolgozz itt","localConversationPage.addWorktreeToSidebar.tooltip":"Mentsd el projektként, hogy új szálakat indíthass ebből a worktreeből","localConversationPage.addWorktreeToSidebarError":"Nem sikerült hozzáadni a projektet","localConversationPage.commitAndCreatePrModal.errorTitle":"A PR létrehozása és elküldése sikertelen","localConversationPage.commitAndCreatePrModal.successTitle":"PR elküldve és létrehozva","localConversationPage.commitAndPushModal.errorTitle":"A létrehozás és a küldés sikertelen volt","localConversationPage.commitAndPushModal.successTitle":"Létrehozott és küldött módosítások","localConversationPage.commitCreatePr.open":"Pull kérelem megnyitása","localConversationPage.commitCreatePr.successTitle":"Létrehozott PR-ok a legutóbbi módosításaiddal","localConversationPage.createBranchButtonLabel":"Ágazat itt","localConversationPage.createPrModal.baseBranch":"Alap","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR létrehozása","localConversationPage.createPrModal.createDescription":"Pull kérelem megnyitása a legutóbbi módosításaiddal.","localConversationPage.createPrModal.errorTitle":"Sikertelen pull kérelem","localConversationPage.createPrModal.headBranch":"Fej","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR megnyitása","localConversationPage.createPrModal.successTitle":"Pull kérelem létrehozva","localConversationPage.createPrModal.title":"Pull kérelem létrehozása","localConversationPage.createPrModal.viewDescription":"Egy pull kérelem már létezik ehhez az ágazathoz.","localConversationPage.createPrModal.viewTitle":"A pull kérelem kész","localConversationPage.createPullRequestAuthGh":"GitHub CLI hitelesítése: futtasd a `gh auth login` parancsot","localConversationPage.createPullRequestBranchMissing":"Az ágazatinformációk nem érhetők el","localConversationPage.createPullRequestButtonLabel":"PR létrehozása","localConversationPage.createPullRequestButtonLabel.loading":"PR létrehozása folyamatban...","localConversationPage.createPullRequestDefaultBranchMissing":"Az alapértelmezett ágazatinformációk nem érhetők el","localConversationPage.createPullRequestError":"Nem sikerült létrehozni a pull kérelmet","localConversationPage.createPullRequestExistingPullRequest":"Egy pull kérelem már létezik ehhez az ágazathoz","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI állapot betöltése...","localConversationPage.createPullRequestInstallGh":"GitHub CLI (gh) telepítése a PR-ok létrehozásához","localConversationPage.createPullRequestNoRepo":"Nem található git adattár","localConversationPage.createPullRequestPushStatusMissing":"Leküldési állapot betöltése...","localConversationPage.createPullRequestSetUpstream":"Küldd el ezt az ágazatot, mielőtt PR-t hozol létre","localConversationPage.createPullRequestSuccessToast":"Pull kérelem létrehozva","localConversationPage.createPullRequestSwitchBranch":"Ellenőrizd a funkcióágat, mielőtt PR-t hoznál létre.","localConversationPage.error.render":"Hiba a helyi beszélgetések renderelésekor","localConversationPage.error.toast":"A beszélgetés nem található","localConversationPage.forcePushError":"Nem sikerült a kényszerített leküldés","localConversationPage.generatePullRequestMessageError":"Nem sikerült létrehozni a pull kérelem címét és szövegét","localConversationPage.generatePullRequestMessageFailed":"Nem sikerült létrehozni a pull kérelem címét és szövegét.","localConversationPage.gitActionResult.branch":"Ágazat","localConversationPage.gitActionResult.cancel":"Mégse","localConversationPage.gitActionResult.close":"Bezárás","localConversationPage.gitActionResult.tryAgain":"Újrapróbálkozás","localConversationPage.gitActions":"Git műveletek","localConversationPage.newChat":"Új csevegés","localConversationPage.openInTarget":"Megnyitás itt:","localConversationPage.openPrimaryTarget":"Megnyitás","localConversationPage.planItemsCompleted":"{completedItems} / {totalItems, plural, one {# feladat befejezve} other {# feladat befejezve}}","localConversationPage.pushAuthError":"Sikertelen leküldés: hitelesítés szükséges","localConversationPage.pushBranchMissing":"Az ágazatinformációk nem érhetők el","localConversationPage.pushButtonLabel":"Leküldéses","localConversationPage.pushButtonLabel.loading":"Leküldés...","localConversationPage.pushError":"Nem sikerült beküldeni a módosításokat","localConversationPage.pushModal.branchLabel":"Ágazat","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Mégse","localConversationPage.pushModal.confirm":"Leküldéses","localConversationPage.pushModal.description":"Küldd le a legújabb commitjaidat a távoli adattárba","localConversationPage.pushModal.errorTitle":"Sikertelen leküldés","localConversationPage.pushModal.forcePush":"Kényszerített leküldés","localConversationPage.pushModal.successTitle":"Leküldés befejezve","localConversationPage.pushModal.title":"Módosítások leküldése","localConversationPage.pushModal.tryAgain":"Újrapróbálkozás","localConversationPage.pushNoUpstream":"Állíts be egy upstreamet, mielőtt ezt az ágat feltöltöd.","localConversationPage.pushNoUpstreamError":"Sikertelen leküldés: nincs konfigurált upstream","localConversationPage.pushNothingToPush":"Nincs új beküldhető commit","localConversationPage.pushRemoteChangedError":"Sikertelen leküldés: a távoli szerveren új commitok vannak.","localConversationPage.pushRemoteRejectedError":"A leküldést elutasította a távoli szerver","localConversationPage.pushStatusMissing":"Leküldési állapot betöltése...","localConversationPage.pushSuccessToast":"Leküldött módosítások","localConversationPage.viewPullRequestButtonLabel":"PR megtekintése","localConversationPage.viewPullRequestButtonLabel.loading":"Pull kérelem betöltése…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fájl} other {# fájl}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} other {# lista}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# keresés} other {# keresés}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Felfedezés","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Felfedezve","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} felfedezve","localConversationTurnStory.showContent":"Tartalom mutatása","localConversationTurnStory.streamContent":"Tartalom streamelése","localConversationTurnStory.toggleReasoning":"Indoklás megjelenítése","localTaskRow.archiveError":"Nem sikerült archiválni a beszélgetést","localTaskRow.resumeError":"Nem sikerült folytatni a feladatot","mermaidDiagram.ariaLabel":"Sellő diagram","mermaidDiagram.copySource":"Sellő másolása","mermaidDiagram.originalCode":"Sellő forráskód","notifications.permissions.description":"Figyelmeztetések megjelenítése, ha értesítési engedélyek szükségesek","notifications.permissions.label":"Engedélyezési értesítések engedélyezése","notifications.turnMode.always":"Mindig","notifications.turnMode.description":"Állítsd be, amikor a Codex jelzi, hogy befejezte a munkát","notifications.turnMode.label":"Befejezési értesítések bekapcsolása","notifications.turnMode.off":"Soha","notifications.turnMode.unfocused":"Csak amikor nem fókuszált","patchApprovalRequest.approve":"Jóváhagyás","patchApprovalRequest.menu.allowAlways":"Igen, és ne kérdezd meg újra ebben a munkamenetben","patchApprovalRequest.menu.allowForSession":"Igen, és ne kérdezd meg újra ebben a munkamenetben","patchApprovalRequest.menu.allowOnce":"Igen","patchApprovalRequest.prompt":"Szeretnéd végrehajtani ezeket a módosításokat?","patchApprovalRequest.reject":"Nem","patchApprovalRequest.waitingForApproval":"Várakozás jóváhagyásra a fájlok szerkesztéséhez","pendingRequest.approvalExec.collapse":"Összecsukás","pendingRequest.approvalExec.expand":"Kibontás","pendingRequestStory.toastAnswer":"Válasz: {answer}","pendingRequestStory.toastApprovalTitle":"Jóváhagyó válasz","pendingRequestStory.toastFollowupPrompt":"Utasítás: {prompt}","pendingRequestStory.toastFollowupTitle":"Utánkövetés küldve","pendingRequestStory.toastNoAnswers":"Nincs válasz","pendingRequestStory.toastQuestion":"Kérdés: {question}","pendingRequestStory.toastUnknownDecision":"Ismeretlen","pendingRequestStory.toastUserInputTitle":"Beküldött kérdések","quickAction.request.codeReview.branches.new":"Tekintsd át a(z) {from} módosításait a következővel szemben: {to}","quickAction.request.codeReview.uncommitted.new":"Tekintsd át a be nem küldött módosításaimat","reasoningItem.thinking":"Gondolkodás folyamatban","reasoningItem.thought":"Gondolkodott","reasoningItem.thoughtWithElapsed":"Ötlet erre: {elapsed}","recentConversations.title":"Legutóbbi beszélgetések","recentTasks.worktreeInitFailedTitle":"Sikertelen Worktree init","recentTasks.worktreeSettingUpTitle":"Worktree beállítása","requestInputPanel.continue":"Tovább","requestInputPanel.dismiss":"Elvetés","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Írj ide","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nem, és mondd meg a Codexnek, mit kell másképp csinálnia","requestInputPanel.selectedBadge":"Kiválasztott","requestInputPanel.skip":"Kihagyás","requestInputPanel.submit":"Beküldés","review.commit.ariaLabel.includeUnstaged":"Nem előkészített tartalmazása","review.commit.buttonLabel":"Vállalás","review.commit.disabled.committing":"Beküldés...","review.commit.disabled.loadingDiff":"Diff betöltése…","review.commit.disabled.missingContext":"Adj hozzá némi kontextust a commit üzenet generálásához","review.commit.disabled.noChanges":"Nincs módosítás a vállaláson","review.commit.disabled.noSelection":"Válaszd ki a vállalás módosításait","review.commit.disabled.unavailable":"A vállalás jelenleg nem érhető el","review.commit.error":"A módosítások rögzítése sikertelen","review.commit.form.changesToBeCommitted":"Módosítások","review.commit.form.commitTo":"Ágazat","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Tovább","review.commit.form.title":"Küldd be a módosításaid","review.commit.generate.emptyResponse":"Nem sikerült létrehozni a commit üzenetet.","review.commit.generate.failed":"Nem sikerült létrehozni a beküldési üzenetet: {error}","review.commit.generate.missingPrompt":"Adj hozzá némi kontextust a beküldési üzenet létrehozásához.","review.commit.includeUnstaged":"Nem előkészített tartalmazása","review.commit.loading.description":"Türelem, ez eltarthat pár pillanatig...","review.commit.loading.step.commit.done":"Beküldött módosítások","review.commit.loading.step.commit.pending":"Módosítások beküldése","review.commit.loading.step.createPr.done":"Pull kérelem létrehozva","review.commit.loading.step.createPr.pending":"Pull kérelem létrehozása","review.commit.loading.step.push.done":"Leküldve a(z) {branch} ágazatba","review.commit.loading.step.push.pending":"Leküldés a(z) {branch} ágazatba","review.commit.loading.title.commit":"Módosítások beküldése","review.commit.loading.title.createPr":"PR létrehozása","review.commit.loading.title.push":"Módosítások leküldése","review.commit.messageLabel":"Vállalás üzenete","review.commit.messagePlaceholder":"Hagyd üresen, ha automatikusan szeretnél létrehozni egy beküldési üzenetet","review.commit.nextSteps":"Következő lépések","review.commit.nextSteps.commit":"Vállalás","review.commit.nextSteps.commitAndCreate":"Beküldés és PR létrehozása","review.commit.nextSteps.commitAndPush":"Beküldés és leküldés","review.commit.nextSteps.prRequiresGh":"GitHub CLI szükséges: {command}","review.commit.rows.changes":"Módosítások","review.commit.rows.commitCount":"{count, plural, one {# beküldés} other {# beküldés}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# beküldés} other {# beküldés}} és {stats}","review.commit.rows.fileCount":"{count, plural, one {# fájl} other {# fájl}}","review.commit.state.error.body":"Valami hiba történt a beküldéskor. Ellenőrizd a git állapotát, és próbáld újra.","review.commit.state.error.title":"Sikertelen beküldés","review.commit.state.success.title":"Módosítások beküldve","review.commit.untracked.loadingStats":"Nyomon követetlen diff statisztikák betöltése…","reviewFindingAttachments.count":"{count, plural, one {# találat} other {# találat}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Szerkeszd a konfigurációd az ügynök viselkedésének személyre szabásához","settings.agent.configuration.configToml.docs":"Dokumentumok","settings.agent.configuration.subtitle":"Ezek a beállítások mindenhol érvényesek, ahol a Codexet használják","settings.automations.banner.danger":"Az automatizálások az alapértelmezett sandbox beállításokkal futnak, amelyek jelenleg teljes hozzáférésre vannak beállítva. A teljes hozzáféréssel futó háttér-automatizálások fokozott kockázatot jelentenek, mivel a Codex fájlokat módosíthat, parancsokat futtathat és hálózati hozzáférést kaphat anélkül, hogy erről kérdeznéd. Fontold meg a sandbox beállítások munkaterület írásra történő frissítését, és <rulesDocsLink>szabályok</rulesDocsLink> használatát annak szelektív meghatározásához, hogy az ügynök mely parancsokat futtathat teljes hozzáféréssel.","settings.automations.banner.defaultHowTo.default":"Az automatizálások az alapértelmezett sandbox beállításokkal futnak. Az eszközhívások sikertelenek lesznek, ha a munkaterületen kívüli fájlok módosítását, hálózati hozzáférést vagy a számítógépen lévő alkalmazásokkal való munkát igényelnek. A <rulesDocsLink>szabályok</rulesDocsLink> segítségével szelektíven engedélyezheted a parancsok sandboxon kívüli futtatását.","settings.automations.banner.defaultHowTo.readOnly":"Az automatizálások az alapértelmezett sandbox beállításokkal futnak, amelyek csak olvasásra vannak beállítva. Az eszközhívások sikertelenek lesznek, ha fájlok módosítását, hálózati hozzáférést vagy a számítógépen lévő alkalmazásokkal való munkát igényelnek. Fontold meg a sandbox beállítások munkaterület írásra történő frissítését.","settings.automations.cancel":"Mégse","settings.automations.create":"Létrehozás","settings.automations.cwdEmpty":"Nincs elérhető projektmappa","settings.automations.cwdLabel":"Projektek","settings.automations.cwdPlaceholder":"Válassz egy mappát","settings.automations.cwdSubtitle":"Ha azt szeretnéd, hogy egy automatizálás egy adott ágon fusson, akkor ezt megadhatod az utasításodban.","settings.automations.delete":"Törlés","settings.automations.dialog.editTitle":"Automatizálás szerkesztése","settings.automations.dialog.newTitle":"Új automatizálás","settings.automations.dialog.subtitle":"Automatizáld az ismétlődő feladatokat a háttérben. A Codex hozzáadja a megállapításokat a beérkező levelek mappájához, vagy automatikusan archiválja a feladatot, ha nincs mit jelenteni. <learnMoreLink>További információ</learnMoreLink>","settings.automations.dialog.title":"Automatizálás létrehozása","settings.automations.executionCopy.git":"Az automatizálások háttérben futnak dedikált munkakönyvtárakban.","settings.automations.executionCopy.nonGit":"A verziókezelés nélküli projektekben az automatizálások közvetlenül a projektkönyvtárban futnak. Fontold meg a Git használatát, hogy háttérmunkakönyvtárakban is futtathasd őket.","settings.automations.executionEnvironment.local":"Helyi","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Betöltés…","settings.automations.nameLabel":"Név","settings.automations.namePlaceholder":"Őrhibák keresése","settings.automations.pause":"Szüneteltetés","settings.automations.promptLabel":"Utasítás","settings.automations.promptPlaceholder":"összeomlások keresése itt: $Sentry","settings.automations.resume":"Folytatás","settings.automations.rruleSummaryFallback":"Egyéni ütemterv","settings.automations.runNow":"Tesztelés","settings.automations.save":"Mentés","settings.automations.scheduleBadge.dayCount":"{count} n","settings.automations.scheduleBadge.interval":"{count} ó","settings.automations.scheduleBadge.weekdays":"Hétköznapok","settings.automations.scheduleBadge.weekends":"Hétvégék","settings.automations.scheduleHeader":"Ütemterv","settings.automations.scheduleHours":"óra","settings.automations.scheduleLabel":"Futtatás minden","settings.automations.scheduleMode.daily":"Naponta","settings.automations.scheduleMode.interval":"Időköz","settings.automations.scheduleModeLabel":"Ütemezés típusa","settings.automations.scheduleSummary.daily":"Naponta ekkor: {time}","settings.automations.scheduleSummary.interval":"{count} óránként","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# nap} other {# nap}}","settings.automations.scheduleSummary.intervalDays":"{interval} ekkor: {days}","settings.automations.scheduleSummary.intervalHourly":"Óránként","settings.automations.scheduleSummary.singleDay":"ekkor: {day}, {time}","settings.automations.scheduleSummary.weekdays":"Hétköznapok ekkor: {time}","settings.automations.scheduleSummary.weekdaysLabel":"hétköznapok","settings.automations.scheduleSummary.weekends":"Hétvégék ekkor: {time}","settings.automations.scheduleSummary.weekendsLabel":"hétvégék","settings.automations.scheduleSummary.weekly":"ekkor: {days}, {time}","settings.automations.scheduleWeekdays":"Bekapcsolás","settings.automations.weekdayState.excluded":"Kizárva","settings.automations.weekdayState.included":"Tartalmazva","settings.conversationDetail.steps":"Lépések","settings.conversationDetail.steps.description":"Parancsok és kimenetek elrejtése","settings.conversationDetail.stepsWithCommands":"Lépések kódparancsokkal","settings.conversationDetail.stepsWithCommands.description":"Parancsok megjelenítése, kimenet összecsukása","settings.conversationDetail.stepsWithOutput":"Lépések kódkimenettel","settings.conversationDetail.stepsWithOutput.description":"Parancsok megjelenítése és kimenet kibontása","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nincsenek archivált csevegések.","settings.dataControls.archivedChats.error":"Nem sikerült betölteni az archivált csevegéseket.","settings.dataControls.archivedChats.loading":"Archivált csevegések betöltése...","settings.dataControls.archivedChats.unarchive":"Archiválás visszavonása","settings.dataControls.archivedChats.unarchiveError":"Nem sikerült visszavonni a csevegés archiválását","settings.dataControls.archivedChats.unarchiveSuccess":"Témaszál archiválása visszavonva. <viewNowLink>Megtekintés most</viewNowLink>","settings.dataControls.archivedChats.untitled":"Névtelen csevegés","settings.editRow.headerPlaceholder":"Kulcs","settings.editRow.removeEntry":"Bejegyzés eltávolítása","settings.editRow.valuePlaceholder":"Érték","settings.general.appearance":"Megjelenés","settings.general.appearance.codeFont":"Kód betűtípusa","settings.general.appearance.codeFont.description":"A csevegésekben és a diffekben használt betűtípus és méret beállítása","settings.general.appearance.codeFontFamily":"Kód betűcsaládja","settings.general.appearance.codeFontSize":"Kód betűmérete","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"A Windowsban a rendszer átlátszósága helyett szilárd háttér használata","settings.general.appearance.opaqueWindows.label":"Használj átlátszatlan ablakhátteret","settings.general.appearance.sansFontFamily":"Sans betűcsalád","settings.general.appearance.sansFontFamily.description":"Állítsd be a Codex felhasználói felületéhez használt betűtípust","settings.general.appearance.sansFontSize":"Sans betűméret","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Teljes ablakos ünneplési effektusok megjelenítése, miközben a GPT-5.3-Codex-Spark futtatja az első kört","settings.general.appearance.sparkCelebrationEffects.label":"Szikra ünnepi effektusok","settings.general.appearance.theme":"Téma","settings.general.appearance.theme.dark":"Sötét mód","settings.general.appearance.theme.description":"Használj világos, sötét vagy a rendszeréhez illő színt","settings.general.appearance.theme.light":"Világos mód","settings.general.appearance.theme.system":"Rendszer","settings.general.appearance.usePointerCursors.description":"Változtasd a kurzort mutató kézre, amikor interaktív elemek fölé viszi az egérmutatót","settings.general.appearance.usePointerCursors.label":"Mutató kurzorok használata","settings.general.enterBehavior.description":"Ha engedélyezve van, a többsoros utasítások elküldéséhez {modifierSymbol} + Enter billentyűkombinációt kell megnyomni.","settings.general.enterBehavior.label":"{modifierSymbol}+ Enter billentyűt kell megnyomni a hosszú utasítások küldéséhez","settings.general.experimentalFeatures":"Kísérleti funkciók (béta)","settings.general.experimentalFeatures.empty":"Nincsenek elérhető béta kísérleti funkciók.","settings.general.experimentalFeatures.loading":"Kísérleti funkciók betöltése...","settings.general.experimentalFeatures.restartNote":"Indítsd újra a Codexet a kísérleti funkcióváltozások alkalmazásához","settings.general.experimentalFeatures.toggle":"{featureName} kapcsoló","settings.general.followUpQueueMode.description":"A Codex futása közben sorba állíthatja a követéseket, vagy megszakíthatja az aktuális futást.","settings.general.followUpQueueMode.interrupt":"Irányítás","settings.general.followUpQueueMode.label":"Utánkövetési viselkedés","settings.general.followUpQueueMode.queue":"Sor","settings.general.notifications":"Értesítések","settings.general.power.preventSleepWhileRunning.description":"Tartsa a számítógépét ébren, amíg a Codex futtat egy témaszálat.","settings.general.power.preventSleepWhileRunning.label":"Megakadályozza az alvást futás közben","settings.git.branchPrefix.ariaLabel":"Ágazat előtagja","settings.git.branchPrefix.description":"A Codexben új ágazatok létrehozásakor használt előtag","settings.git.branchPrefix.label":"Ágazat előtagja","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Az ágazat előtagjának mentése sikertelen","settings.git.branchPrefix.save.success":"Mentett ágazati előtag","settings.git.commitInstructions.ariaLabel":"Beküldési instrukciók","settings.git.commitInstructions.description":"Hozzáadva a beküldési üzenet generálási utasításokhoz","settings.git.commitInstructions.label":"Beküldési instrukciók","settings.git.commitInstructions.placeholder":"Add hozzá a beküldési üzenet útmutatót…","settings.git.commitInstructions.save":"Mentés","settings.git.commitInstructions.save.error":"A beküldési utasítások mentése sikertelen","settings.git.commitInstructions.save.success":"Beküldési utasítások mentve","settings.git.forcePush.ariaLabel":"Mindig kényszerített leküldés","settings.git.forcePush.description":"Használd a --force-with-lease parancsot, amikor a Codexből küldesz le","settings.git.forcePush.label":"Mindig kényszerített leküldés","settings.git.forcePush.save.disabled":"Mindig kényszerített leküldés letiltása","settings.git.forcePush.save.enabled":"Mindig kényszerített leküldés engedélyezése","settings.git.forcePush.save.error":"Mindig kényszerített leküldés beállításának mentése sikertelen","settings.git.prInstructions.ariaLabel":"Pull kérelem instrukciók","settings.git.prInstructions.description":"A Codex által létrehozott pull kérelem tesztekhez csatolva","settings.git.prInstructions.label":"Pull kérelem instrukciók","settings.git.prInstructions.placeholder":"Pull kérelem útmutató hozzáadása…","settings.git.prInstructions.save":"Mentés","settings.git.prInstructions.save.error":"Nem sikerült menteni a pull kérelem utasításokat","settings.git.prInstructions.save.success":"Pull kérelem utasítások mentve","settings.ide.defaultOpenTarget.description":"Ahol a fájlok és mappák alapértelmezés szerint megnyílnak","settings.ide.defaultOpenTarget.label":"Alapértelmezett megnyitási cél","settings.ide.defaultOpenTarget.placeholder":"Nincs megtalált cél","settings.ide.language.auto":"Automatikus észlelés","settings.ide.language.autoOption":"Automatikus észlelés","settings.ide.language.description":"Az app felhasználói felületének nyelve","settings.ide.language.label":"Nyelv","settings.ide.language.search":"Nyelvek keresése","settings.layout.actionButton":"Bővítmény újraindítása","settings.layout.actionTitle":"Beállítások művelettel","settings.layout.fullWidthTitle":"Beállítások (teljes szélesség)","settings.layout.title":"Beállítások","settings.localEnvironments.actions.add":"Művelet hozzáadása","settings.localEnvironments.actions.add.description":"Hozz létre egy új parancsot, amelyet az eszköztárról futtathatsz.","settings.localEnvironments.actions.add.save":"Mentés","settings.localEnvironments.actions.empty":"Adj hozzá egy műveletet a helyi eszköztárról parancsok futtatásához.","settings.localEnvironments.actions.icon.debug":"Hibakeresés","settings.localEnvironments.actions.icon.run":"Futtatás","settings.localEnvironments.actions.icon.test":"Tesztelés","settings.localEnvironments.actions.icon.tool":"Eszköz","settings.localEnvironments.actions.item.button.delete":"Törlés","settings.localEnvironments.actions.item.command":"Műveleti szkript","settings.localEnvironments.actions.item.name":"Név","settings.localEnvironments.actions.item.platforms":"Platformok","settings.localEnvironments.actions.item.platforms.help":"Csak bizonyos operációs rendszeren fut.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Platformválasztás","settings.localEnvironments.actions.item.platforms.specific":"Platformspecifikus","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Törlés","settings.localEnvironments.actions.title":"Műveletek","settings.localEnvironments.breadcrumb.back":"Vissza","settings.localEnvironments.breadcrumb.edit":"szerkesztés","settings.localEnvironments.breadcrumb.root":"Környezetek","settings.localEnvironments.environment.actions.description":"Ezek a műveletek bármilyen parancsot futtathatnak, és a fejlécben jelennek meg.","settings.localEnvironments.environment.actionsLabel":"Műveletek","settings.localEnvironments.environment.create":"Helyi környezet létrehozása","settings.localEnvironments.environment.defaultName":"helyi","settings.localEnvironments.environment.edit":"Helyi környezet szerkesztése","settings.localEnvironments.environment.empty":"Ehhez a projekthez még nincs konfigurálva helyi környezet.","settings.localEnvironments.environment.name":"Név","settings.localEnvironments.environment.setup":"Beállítási szkript","settings.localEnvironments.environment.setup.description":"Ez a szkript fut a worktree létrehozáson.","settings.localEnvironments.environment.setup.hint":"A projekt gyökérkönyvtárában fut.","settings.localEnvironments.environment.setup.platformOverrides":"Platform felülbírálások","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} beállítási szkript hozzáadása","settings.localEnvironments.environment.setup.platformOverrides.description":"Felülbírálja az alapértelmezett szkriptet az adott OSes-hez.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Eltávolítás","settings.localEnvironments.environment.setup.script":"Szkript","settings.localEnvironments.environment.title":"Környezet részletei","settings.localEnvironments.file.missing":"Mentés a fájl első létrehozásához.","settings.localEnvironments.file.parseError":"A meglévő fájl nem értelmezhető. A mentés felülírja azt. ({error})","settings.localEnvironments.file.path":"Fájl: {path}","settings.localEnvironments.file.readError":"A helyi környezeti adatok betöltése sikertelen. ({error})","settings.localEnvironments.file.title":"Helyi környezeti fájl","settings.localEnvironments.loading.body":"A projekt konfigurációjának lekérése.","settings.localEnvironments.loading.title":"Helyi környezetek betöltése","settings.localEnvironments.preview.devOnly":"(csak fejlesztő)","settings.localEnvironments.preview.save":"Mentés","settings.localEnvironments.preview.saveError":"Nem sikerült elmenteni a fájlt. ({error})","settings.localEnvironments.preview.title":"Előnézet","settings.localEnvironments.save.disabled.name":"Adj hozzá egy elmentendő környezetnevet.","settings.localEnvironments.save.disabled.noChanges":"Nincs mentendő módosítás.","settings.localEnvironments.save.disabled.saving":"Mentés...","settings.localEnvironments.save.success":"Helyi környezet mentve","settings.localEnvironments.unavailable.body":"Nem tudtuk betölteni a helyi környezet beállításait ehhez a projekthez.","settings.localEnvironments.unavailable.title":"A helyi környezetek nem érhetők el","settings.localEnvironments.workspace.add":"Projekt hozzáadása","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Környezet hozzáadása","settings.localEnvironments.workspaceSelect.description":"A helyi környezetek megadják a Codexnek, hogyan állítsa be a projektek munkakönyvtárait. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Még nincs projekt. Adj hozzá egyet a helyi környezetek konfigurálásához.","settings.localEnvironments.workspaceSelect.errorLabel":"A környezet figyelmet igényel","settings.localEnvironments.workspaceSelect.learnMore":"További információ","settings.localEnvironments.workspaceSelect.listLabel":"Elérhető projektek","settings.localEnvironments.workspaceSelect.loading":"Projektek betöltése.","settings.localEnvironments.workspaceSelect.loadingLabel":"Környezet betöltése","settings.localEnvironments.workspaceSelect.title":"Válassz egy projektet","settings.localEnvironments.workspaceSelect.viewAction":"Megtekintés","settings.mcp.addServer":"Szerver hozzáadása","settings.mcp.app.configure":"Konfigurálás","settings.mcp.app.connect":"Összekapcsolás","settings.mcp.apps.refresh":"Frissítés","settings.mcp.detail.addArgument":"Argumentum hozzáadása","settings.mcp.detail.addEnvVar":"Környezeti változó hozzáadása","settings.mcp.detail.addEnvVarPassthrough":"Változó hozzáadása","settings.mcp.detail.args":"Argumentumok","settings.mcp.detail.back":"Vissza","settings.mcp.detail.command":"Indítandó parancs","settings.mcp.detail.cwd":"Munkakönyvtár","settings.mcp.detail.docs":"MCP dokumentum megnyitása","settings.mcp.detail.docs.link":"Dokumentumok","settings.mcp.detail.envVarPassthrough":"Környezeti változó áthaladás","settings.mcp.detail.envVars":"Környezeti változók","settings.mcp.detail.http.addEnvHeader":"Változó hozzáadása","settings.mcp.detail.http.addHeader":"Fejléc hozzáadása","settings.mcp.detail.http.bearerToken":"Tulajdonosi token környezeti változók","settings.mcp.detail.http.envHeaders":"Fejlécek a környezeti változókból","settings.mcp.detail.http.headers":"Fejlécek","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Név","settings.mcp.detail.save":"Mentés","settings.mcp.detail.switchTransportNotice":"Ha szeretnéd megváltoztatni az MCP szerver típusát, először távolítsd el a programot.","settings.mcp.detail.titleExisting":"{name} MCP frissítése","settings.mcp.detail.titleNew":"Csatlakozás egyéni MCP-hez","settings.mcp.detail.transport.http":"Közvetíthető HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Eltávolítás","settings.mcp.empty":"Nincs egyéni MCP szerver csatlakoztatva","settings.mcp.myServers":"Egyéni szerverek","settings.mcp.partnerServer.description.figma":"Jobb kódot generálhatsz a teljes Figma kontextus bevonásával","settings.mcp.partnerServer.description.github":"Integráld a GitHub API-kat a munkafolyamatok automatizálásához és az adatok kinyeréséhez","settings.mcp.partnerServer.description.linear":"Integráld a Linear hibajelentési és projektmenedzsment rendszerével","settings.mcp.partnerServer.description.notion":"Dokumentumok olvasása, oldalak frissítése, feladatok kezelése","settings.mcp.partnerServer.description.playwright":"Integrálja a böngésző automatizálását a felhasználói felület tervezésének és tesztelésének megvalósításához.","settings.mcp.partnerServer.install":"Telepítés","settings.mcp.partnerServer.installAndAuthenticate":"Telepítés és hitelesítés","settings.mcp.partnerServer.logoAlt":"{label}-logó","settings.mcp.partnerServer.manage":"Kezelés","settings.mcp.partnerServer.vendor":"a következő által: {vendor}","settings.mcp.recommendedServers":"Ajánlott szerverek","settings.mcp.restartApp":"Újraindítás","settings.mcp.restartExtension":"Bővítmény újraindítása","settings.mcp.server.enable":"Engedélyezés","settings.mcp.server.login":"Hitelesítés","settings.mcp.server.settings":"Beállítások","settings.multiselect.createOption":"„{value}” létrehozása","settings.multiselect.removeOption":"Eltávolítás","settings.nav.account":"Fiók","settings.nav.agent":"Konfiguráció","settings.nav.ariaLabel":"Beállítások","settings.nav.back":"Vissza az appba","settings.nav.data-controls":"Archivált témaszálak","settings.nav.environments":"Felhőkörnyezetek","settings.nav.externalTooltip":"[alpha] Megnyílik a böngészőben","settings.nav.general-settings":"Általános","settings.nav.git-settings":"Git","settings.nav.local-environments":"Környezetek","settings.nav.mcp-settings":"MCP szerverek","settings.nav.notImplemented":"[alpha] Nem áll rendelkezésre az Alpha-ban","settings.nav.personalization":"Személyre szabás","settings.nav.skills-settings":"Készségek","settings.nav.usage-analytics":"Használat és elemzések","settings.nav.worktrees":"Worktree-k","settings.openSourceLicenses.back":"Vissza","settings.openSourceLicenses.loading":"Betöltés…","settings.openSourceLicenses.missing":"Nincsenek harmadik féltől származó értesítések.","settings.openSourceLicenses.notSupported":"Nem áll rendelkezésre ebben a tárolóban.","settings.openSourceLicenses.rowDescription":"Harmadik féltől származó értesítések a csomagban szereplő függőségekhez","settings.openSourceLicenses.rowLabel":"Nyílt forráskódú licencek","settings.openSourceLicenses.subtitle":"Harmadik féltől származó értesítések az appban szereplő függőségekre","settings.openSourceLicenses.title":"Nyílt forráskódú licencek","settings.openSourceLicenses.view":"Megtekintés","settings.personalization.agents.description":"A Codex-et az igényeidnek megfelelően testreszabó utasítások szerkesztése. {learnMore}","settings.personalization.agents.learnMore":"További információ","settings.personalization.agents.loadError":"Nem sikerült betölteni az agents.md-t.","settings.personalization.agents.loading":"agents.md betöltése...","settings.personalization.agents.placeholder":"Egyéni instrukciók hozzáadása...","settings.personalization.agents.retry":"Újrapróbálkozás","settings.personalization.agents.save":"Mentés","settings.personalization.agents.save.error":"Nem lehet menteni az agents.md-t","settings.personalization.agents.save.success":"agents.md mentve","settings.personalization.agents.title":"Egyéni instrukciók","settings.personalization.personality.description":"Válassz alapértelmezett hangot a Codex válaszokhoz","settings.personalization.personality.label":"Személyiség","settings.sample.contentBody":"Használd ezt az elrendezést a beállítási panelek egységes távolságokkal történő összeállításához.","settings.sample.contentTitle":"Minta tartalomblokk","settings.section.account":"Fiók","settings.section.agent":"Konfiguráció","settings.section.data-controls":"Archivált témaszálak","settings.section.environments":"Felhőkörnyezetek","settings.section.external":"Megnyitja a böngésződben Alpha közben","settings.section.general-settings":"Általános","settings.section.git-settings":"Git","settings.section.local-environments":"Környezetek","settings.section.mcp-settings":"MCP szerverek","settings.section.mcp-settings.docs":"Dokumentumok","settings.section.mcp-settings.subtitle":"Külső eszközök és adatforrások csatlakoztatása.","settings.section.personalization":"Személyre szabás","settings.section.skills-settings":"Készségek","settings.section.unavailable":"Még nem áll rendelkezésre az Alpha-ban","settings.section.usage-analytics":"Használat és elemzések","settings.section.worktrees":"Worktree-k","settings.threadDetail.description":"A témaszálakban megjeleníteni kívánt parancskimenet mennyiségének kiválasztása","settings.threadDetail.label":"Témaszál részlet","settings.worktrees.conversation.untitled":"Névtelen beszélgetés","settings.worktrees.delete.error":"Nem sikerült törölni a worktree-t","settings.worktrees.empty.body":"A Codex által létrehozott worktree-k itt jelennek meg.","settings.worktrees.empty.title":"Még nincs worktree","settings.worktrees.error.body":"Valami hiba történt a worktree-k betöltésekor.","settings.worktrees.error.retry":"Újrapróbálkozás","settings.worktrees.error.title":"Nem sikerült betölteni a worktree-ket","settings.worktrees.loading.body":"A worktree adatainak lekérése.","settings.worktrees.loading.title":"Worktree-k betöltése…","settings.worktrees.repository.loading":"Adattár metaadatainak betöltése…","settings.worktrees.repository.unknown":"Ismeretlen adattár","settings.worktrees.row.conversations":"Beszélgetések","settings.worktrees.row.conversations.empty":"Ehhez a worktree-hez nem kapcsolódik beszélgetés.","settings.worktrees.row.conversations.loading":"Beszélgetések betöltése...","settings.worktrees.row.delete":"Törlés","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Új projekt hozzáadása","sidebarElectron.archiveThread":"Témaszál archiválása","sidebarElectron.archiveThreadError":"Témaszál archiválása sikertelen","sidebarElectron.collapseFolder":"Mappa összecsukása","sidebarElectron.createStableWorktree.dialog.cancel":"Mégse","sidebarElectron.createStableWorktree.dialog.create":"Létrehozás","sidebarElectron.debugNavLink":"Hibakeresés","sidebarElectron.editWorkspaceRootOptionName":"Név szerkesztése","sidebarElectron.expandFolder":"Mappa kibővítése","sidebarElectron.groupByMenu.recency":"Időrendi lista","sidebarElectron.groupByMenu.title":"Rendezés","sidebarElectron.groupByMenu.workspace":"Projekt szerint","sidebarElectron.inboxRouteNavLink":"Automatizálások","sidebarElectron.markThreadUnread":"Megjelölés olvasatlanként","sidebarElectron.missingWorkspaceRoot":"Ez a projektmappa törölve vagy áthelyezve lett","sidebarElectron.newThread":"Új témaszál","sidebarElectron.newThreadInGroup":"Új témaszál indítása a következőben: {folder}","sidebarElectron.noRecentThreads":"Nincsenek legutóbbi témaszálak","sidebarElectron.noTasks":"Nincsenek témaszálak","sidebarElectron.noTasks.start":"Új projekt hozzáadása","sidebarElectron.noTasksWithFilter":"Nincs a szűrőknek megfelelő témaszál","sidebarElectron.pinnedThreads":"Rögzített témaszálak","sidebarElectron.recentNavLink":"Témaszálak","sidebarElectron.recentThreads":"Legutóbbi témaszálak","sidebarElectron.removeWorkspaceRootOption":"Eltávolítás","sidebarElectron.renameThread":"Témaszál átnevezése","sidebarElectron.renameThreadDialogAriaLabel":"Témaszál címe","sidebarElectron.renameThreadDialogCancel":"Mégse","sidebarElectron.renameThreadDialogPlaceholder":"Cím hozzáadása...","sidebarElectron.renameThreadDialogSave":"Mentés","sidebarElectron.renameThreadDialogSubtitle":"Tartsd röviden és felismerhetően.","sidebarElectron.renameThreadDialogTitle":"Témaszál átnevezése","sidebarElectron.renameThreadError":"Nem sikerült átnevezni a témaszálat","sidebarElectron.renameWorkspaceRootOptionLabel":"Kijelzett név","sidebarElectron.showLess":"Kevesebb mutatása","sidebarElectron.showMenu.all":"Összes témaszál","sidebarElectron.showMenu.relevant":"Kapcsolódó","sidebarElectron.showMenu.relevantHint":"Csak a jelenlegi ágazat, worktree-k vagy más, figyelmet igénylő témaszálak legújabb témaszálainak megjelenítése","sidebarElectron.showMenu.title":"Megjelenítés","sidebarElectron.showMenu.tooltip":"Témaszálak szűrése, rendezése és szervezése","sidebarElectron.showMenu.trigger":"Oldalsáv témaszálak szűrése","sidebarElectron.showMore":"Továbbiak mutatása","sidebarElectron.skillsRouteNavLink":"Készségek","sidebarElectron.sortMenu.created":"Létrehozva","sidebarElectron.sortMenu.title":"Rendezés e szerint","sidebarElectron.sortMenu.updated":"Frissítve","sidebarElectron.taskNavigation":"Automatizálási mappák","sidebarElectron.tasksInFolder":"Automatizálások itt: {folder}","sidebarElectron.workspaceOptions":"Projektműveletek ehhez: {folder}","sidebarElectron.worktreeGroupTooltip":"Ez egy git worktree","skills.appsPage.createSkill":"Új készség","skills.appsPage.empty.skills":"Nem találhatók készségek","skills.appsPage.search.skills":"Készségek keresése","skills.appsPage.search.skills.label":"Készségek keresése","skills.appsPage.section.installedApps":"Telepítve","skills.appsPage.section.skills":"Készségek","skills.appsPage.subheading":"Adj szuperképességeket a Codexnek.<link>További információ</link>","skills.appsPage.tab.recommended":"Javasolt","skills.appsPage.tab.skills":"Készségek","skills.card.contentsError":"Nem lehet betölteni a készségtartalmat.","skills.card.disable":"Letiltás","skills.card.disableSuccess":"{skillName} készség letiltva","skills.card.disabledBadge":"Letiltva","skills.card.enable":"Engedélyezés","skills.card.enableSuccess":"{skillName} készség engedélyezve","skills.card.loadingContents":"Készségtartalom betöltése...","skills.card.more":"További műveletek","skills.card.open":"Megnyitás","skills.card.removeFailed":"Nem sikerült eltávolítani a készséget","skills.card.removeSuccess":"{skillName} készség törölve","skills.card.toggleEnabledError":"Nem sikerült frissíteni a készséget","skills.card.try":"Kipróbálás","skills.card.trySkill":"Készség kipróbálása","skills.card.uninstall":"Eltávolítás","skills.hero.dotLabel":"Ugrás a(z) {index}. diára","skills.hero.next":"Következő kiemelt készség","skills.hero.trySkill":"Készség kipróbálása","skills.page.createSkill":"Új készség","skills.page.empty":"Nem találhatók készségek","skills.page.filteredEmpty":"Nincs a szűrőknek megfelelő készség","skills.page.filteredEmptyDescription":"Próbáld beállítani a keresés vagy a hatókör szűrőket","skills.page.heading":"Készségek","skills.page.loading":"Készségek betöltése...","skills.page.refreshSkills":"Frissítés","skills.page.refreshSkillsToUseNew":"Frissítsd az új készség(ek) használatához","skills.page.search":"Készségek keresése","skills.page.search.label":"Készségek keresése","skills.page.subheading":"Adj szuperképességeket a Codexnek.<link>További információ</link>","skills.preview.copyPrompt":"Utasítás másolása","skills.preview.examplePrompt":"Példautasítás","skills.recommended.error":"Nem sikerült betölteni a javasolt készségeket","skills.recommended.install":"Telepítés","skills.recommended.installSkill":"Azonnali készség","skills.recommended.installSuccess":"{skillName} készség engedélyezve","skills.recommended.installed":"Telepítve","skills.scope.admin":"Adminisztrátor","skills.scope.adminInstalled":"Adminisztrátor telepítve","skills.scope.builtIn":"Rendszer","skills.scope.personal":"Személyes","skills.scope.repo":"Adattár","skills.scope.system":"Rendszer","skills.scope.team":"Csapat","skills.scope.user":"Felhasználó","skills.section.installed":"Telepítve","skills.section.recommended":"Javasolt","story.slidingToggle.existing":"Meglévő","story.slidingToggle.fromLocal":"Helyiről","story.slidingToggle.new":"Új","story.slidingToggle.toLocal":"Helyire","terminal.close":"Terminál bezárása","terminal.title":"Terminál","thinkingShimmer.default":"Gondolkodás folyamatban","threadEnvIcon.cloudTooltip":"Ez a beszélgetés Codex felhőben fut.","threadEnvIcon.localTooltip":"Ez a beszélgetés helyileg fut.","threadEnvIcon.worktreeTooltip":"Ez a beszélgetés egy helyi git worktreeben zajlik.","threadHeader.archiveConfirmCancel":"Mégse","threadHeader.archiveConfirmConfirm":"Archiválás","threadHeader.copySessionId":"Munkamenet-azonosító másolása","threadHeader.copyWorkingDirectory":"Munkakönyvtár másolása","threadHeader.forkIntoLocal":"Áthelyezés helyire","threadHeader.forkIntoWorktree":"Áthelyezés új worktree-be","threadHeader.forkPendingWorktreePrompt":"Beszélgetés áthelyezése új worktree-be.","threadHeader.forkPendingWorktreeTitle":"Beszélgetés áthelyezve","threadHeader.forkThreadError":"A témaszál áthelyezése sikertelen","threadHeader.forkThreadRequiresGitRepo":"Az új worktree-be áthelyezéshez git adattár szükséges","threadHeader.moreActions":"Témaszál műveletek","threadPage.newThread":"Új témaszál","threadPage.runAction.changeEnvironment":"Környezet módosítása","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} művelet","threadPage.runAction.environmentSelector.label":"Környezet kiválasztása","threadPage.runAction.label":"Futtatás","threadPage.runAction.missing.label":"Állíts be egy futtatási műveletet","threadPage.runAction.setup.commandLabel":"Futtatandó parancs","threadPage.runAction.setup.description":"Mondd el a Codexnek, hogyan telepítse a függőségeket és indítsa el az alkalmazást.","threadPage.runAction.setup.editMore":"Környezeti beállítások","threadPage.runAction.setup.placeholder":"pl: npm telepítés npm futtatás","threadPage.runAction.setup.submit":"Mentés és futtatás","threadPage.runAction.setup.title":"Futtatás","threadPage.runAction.tooltip.withEnvironment":"{environmentName} művelet","threadPage.toggleDiffPanel":"Diff panel be-/kikapcsolása","threadPage.toggleTerminal":"Terminál kapcsoló","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Mappa megnyitása","toolSummaryForCmd.exploredFiles":"<verb>Felsorolt</verb> fájlok","toolSummaryForCmd.exploredFilesInPath":"<verb>Felsorolt</verb> fájlok itt: {path}","toolSummaryForCmd.exploringFiles":"<verb>Fájlok</verb> felsorolása","toolSummaryForCmd.exploringFilesInPath":"<verb>Fájlok</verb> felsorolása itt: {path}","toolSummaryForCmd.ranGenericCommand":"<status>Parancs futtatva</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Futtatva: </status> {command}{timer}","toolSummaryForCmd.read":"<verb>Olvasás:</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Parancs futtatása</status>{timer}","toolSummaryForCmd.runningTimer":"ehhez: {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Kereste</verb> ezt: {query}","toolSummaryForCmd.searchedForFiles":"<verb>Keresett</verb> fájlokat","toolSummaryForCmd.searchedForInPath":"<verb>Kereste</verb> ezt: {query} itt: {path}","toolSummaryForCmd.searchingFor":"<verb>Kereste</verb> ezt: {query}","toolSummaryForCmd.searchingForFiles":"<verb>Keresett</verb> fájlokat","toolSummaryForCmd.searchingForInPath":"<verb>Kereste</verb> ezt: {query} itt: {path}","traceRecording.startDetails.cancel":"Mégse","wham.diff.addComment":"Hozzászólás hozzáadása","wham.diff.binaryFile":"A bináris fájl nem jelenik meg","wham.diff.noContent":"Nincs tartalom","wham.fileTag.deleted":"Törölve","wham.fileTag.new":"Új","wham.formattedRelativeDateTime.compactDaysAgo":"{value} n","wham.formattedRelativeDateTime.compactHoursAgo":"{value} ó","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} p","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} hó","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} h","wham.formattedRelativeDateTime.compactYearsAgo":"{value} é","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Dolgozik a feladatodon","wham.whamProposedTask.title":"Javasolt feladat","wham.whamProposedTask.useSuggestion":"Használati javaslat","workspaceRootDialog.addError":"Nem sikerült hozzáadni a projektet","workspaceRootDialog.cancel":"Mégse","workspaceRootDialog.confirmAdd":"Projekt hozzáadása","workspaceRootDialog.confirmPick":"Projekt használata","workspaceRootDialog.description":"Adj meg egy útvonalat itt: {host}, hogy projektként használd.","workspaceRootDialog.pathLabel":"Projekt útvonala","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Projekt útvonalának hozzáadása","workspaceRootDialog.title.pick":"Projekt útvonalának kiválasztása","worktreeInitV2.cancel":"Mégse","worktreeInitV2.notification.failedTitle":"A worktree beállítása sikertelen","worktreeInitV2.output.empty":"Várakozás a kimenetre...","worktreeInitV2.status.error":"A worktree beállítása sikertelen.","worktreeInitV2.status.running":"Worktree létrehozása és beállítás futtatása.","worktreeInitV2.status.runningFork":"Worktree létrehozása a beszélgetés áthelyezéséhez.","worktreeInitV2.status.success":"A worktree kész.","worktreeInitV2.title":"Worktree létrehozása","worktreeInitV2.workLocallyInstead":"Helyette munka helyileg","worktreeRestoreBanner.body":"A témaszál munkakönyvtárát lemezterület megtakarítás céljából eltávolítottuk","worktreeRestoreBanner.missing.body":"A témaszál munkakönyvtára már nem létezik","worktreeRestoreBanner.missing.title":"A jelenlegi munkakönyvtár hiányzik","worktreeRestoreBanner.restore.error":"Nem sikerült visszaállítani a worktree-t: {message}","worktreeRestoreBanner.restore.success":"Worktree visszaállítva","worktreeRestoreBanner.restoreCta":"Worktree visszaállítása","worktreeRestoreBanner.title":"Worktree megtisztítva"};Object.assign(e,globalThis.codexI18nOverrides?.["hu-HU"]);export{e as default};
 //# sourceMappingURL=hu-HU-B9nD0nsn.js.map
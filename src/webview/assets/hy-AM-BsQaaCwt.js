@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Պատճենել","app.sidebar.hide":"Փակել կողագոտին","app.sidebar.show":"Ցուցադրել կողագոտին","app.sidebar.tooltip":"Փոխարկել կողագոտին","appHeader.installUpdate":"Թարմացնել","appSunset.body":"Հավելվածի այս տարբերակն այլևս չի աջակցվում։ Խնդրում ենք վերջին տարբերակը ներբեռնել <here>այստեղ</here>։","appSunset.title":"Պահանջվում է թարմացում","automation.updateDirective.create":"Ստեղծել","automation.updateDirective.open":"Բացել","automation.updateDirective.untitled":"Չվերնագրված ավտոմատացում","automation.updateDirective.update":"Թարմացնել","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# փորձ} other {# փորձ}}","cloudTaskRow.archiveError":"Չհաջողվեց արխիվացնել առաջադրանքը","code.diff.requestChange":"Փոփոխություն հայցեք","code.diffComment.cancel":"Չեղարկել","code.diffComment.comment":"Մեկնաբանություն","code.diffComment.delete":"Ջնջել","code.diffComment.save":"Պահել","codeReviewAssistant.location":"{file}՝{start}-{end}","codeReviewAssistant.noFindings":"Ոչ մի արդյունք չի հաղորդվել։","codex.alert.closeAriaLabel":"Փակել","codex.appUpsellBanner.cbpApi.message":"Կառուցեք ավելի արագ՝ Codex հավելվածի միջոցով։ Ներբեռնեք հիմա կամ {learnMoreLink}։","codex.appUpsellBanner.download":"Ներբեռնել","codex.appUpsellBanner.freeGo.message":"Codex-ը ներառված է ձեր փաթեթում մինչև մարտի 2-ը։ Փորձեք Codex հավելվածը՝ ավելի արագ կառուցելու համար։","codex.appUpsellBanner.later":"Ավելի ուշ","codex.appUpsellBanner.learnMoreLowercase":"իմացեք ավելին","codex.appUpsellBanner.new":"Նոր","codex.appUpsellBanner.proPlusBusiness.message":"Փորձեք Codex հավելվածը 2x սահմանաչափերով մինչև ապրիլի 2-ը։ Ներբեռնեք հիմա կամ {learnMoreLink}։","codex.appUpsellBanner.title":"Codex հավելված","codex.applyDropdown.header.changes":"Փոփոխություններ","codex.applyDropdown.header.fileCount":"{count, plural, one {# ֆայլ} other {# ֆայլ}}","codex.applyDropdown.header.rows":"տող","codex.applyDropdown.header.title":"Կիրառել փոփոխությունները","codex.applyDropdown.header.workspace":"Նախագիծ","codex.applyDropdown.results.conflicted":"{count, plural, one {Հակասություն 1 ֆայլի հետ.} other {Հակասություն {count} ֆայլի հետ.}}","codex.applyDropdown.results.empty":"Ֆայլեր չեն պատճենվել","codex.applyDropdown.results.skipped":"{count, plural, one {1 ֆայլ բաց է թողնվել.} other {{count} ֆայլ բաց է թողնվել.}}","codex.applyOrRevertBanner.apply":"Կիրառել","codex.applyOrRevertBanner.applyMessage":"Կիրառե՞լ տեղային փոփոխությունները և շարունակել","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Այս առաջադրանքը կատարվել է {environment}-ում, ուստի հնարավոր է, որ անխափան չգործի։","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Փոփոխությունները կատարվել են {environment}-ում, ուստի հնարավոր է, որ անխափան չգործեն։","codex.applyOrRevertBanner.reapply":"Կրկին կիրառել","codex.applyOrRevertBanner.revert":"Չեղարկել","codex.applyOrRevertBanner.revertMessage":"Չեղարկե՞լ կիրառված փոփոխությունները","codex.applyResultsDialog.applied":"Անխափան կիրառվեց ({count})","codex.applyResultsDialog.close":"Փակել","codex.applyResultsDialog.conflicted":"Հակասություններ ի հայտ եկան ({count})","codex.applyResultsDialog.noDetails":"Ֆայլի մանրամասները հասանելի չեն։","codex.applyResultsDialog.skipped":"Բաց է թողնվել ({count})","codex.applyResultsDialog.title":"Կիրառեք արդյունքները","codex.archiveInfo":"Դիտեք արխիվացված զրույցները {dataControlsLink}-ում։","codex.archiveInfo.dataControlsLink":"Տվյալների կառավարներ","codex.archiveInfo.electron":"Դիտել արխիվացված զրույցները {settingsLink}-ում","codex.archiveInfo.extension":"Դիտեք արխիվացված զրույցները ձեր .codex folder.-ում։","codex.archiveInfo.settingsLink":"Կարգավորումներ","codex.banner.content.description":"Զուգահեռաբար կատարել առաջադրանքներ, հետևել առաջընթացին ցանկացած վայրում և ստուգել PR-ները արհեստական ​​բանականության միջոցով։","codex.banner.content.headline":"Codex-ն անում է այս ամենը։","codex.cloudTaskRow.archiveTask":"Արխիվացնել առաջադրանքը","codex.cloudTaskRow.confirmArchiveTask":"Հաստատել","codex.command.feedback":"Կարծիք","codex.command.findInThread":"Գտնել","codex.command.forceReloadSkills":"Հարկադրել վերաբեռնման հմտությունները","codex.command.logOut":"Դուրս գալ","codex.command.manageTasks":"Կառավարել առաջադրանքները","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Հետ","codex.command.navigateForward":"Առաջ","codex.command.newThread":"Նոր շարք","codex.command.nextThread":"Հաջորդ շարքը","codex.command.openFolder":"Բացել պանակը","codex.command.openSkills":"Անցնել հմտություններին","codex.command.openThreadOverlay":"Բացել շղթան առանձին պատուհանում","codex.command.personalitySettings":"Անհատականություն","codex.command.previousThread":"Նախորդ շարքը","codex.command.settings":"Կարգավորումներ","codex.command.toggleDiffPanel":"Միացնել/անջատել diff-ի վահանակը","codex.command.toggleSidebar":"Փոխարկել կողագոտին","codex.command.toggleTerminal":"Միացնել/անջատել տերմինալը","codex.commandGroup.app":"Հավելված","codex.commandGroup.configure":"Կազմաձևել","codex.commandGroup.navigation":"Նավիգացիա","codex.commandGroup.panels":"Վահանակներ","codex.commandGroup.skills":"Հմտություններ","codex.commandGroup.thread":"Շարք","codex.commandGroup.workspace":"Նախագիծ","codex.commandMenu.noResults":"Համընկնումներ չկան","codex.commandMenu.searchPlaceholder":"Որոնման հրահանգներ","codex.commandMenu.suggestedGroup":"Առաջարկվող","codex.commandMenu.switchWorkspace":"Փոխել նախագիծը","codex.commandMenu.title":"Հրահանգների ընտրացանկ","codex.common.retry":"Կրկին փորձել","codex.composer.searchBranches":"Որոնեք ճյուղավորումները","codex.dialog.basic.body":"Սա սովորական մոդալ երկխոսության պատուհան է, որն օգտագործում է մեր ծրագրային ծածկույթը Radix Dialog-ի շուրջ։","codex.dialog.basic.cancel":"Չեղարկել","codex.dialog.basic.confirm":"Հաստատել","codex.dialog.basic.open":"Բացել Dialog-ը","codex.dialog.basic.title":"Dialog-ի նմուշ","codex.dialog.long.close":"Փակել","codex.dialog.long.line":"Թերթվող գիծ {index}՝ Dialog-ում երկար բովանդակություն ցույց տալու համար","codex.dialog.long.open":"Բացել երկար Dialog-ը","codex.dialog.long.title":"Երկար բովանդակությամբ Dialog","codex.dialog.unstyled.body":"Այս պատմությունը ցույց է տալիս, թե ինչպես զանգահարողները կարող են լիովին վերահսկել երկխոսության բովանդակության ոճավորումը։","codex.dialog.unstyled.open":"Բացել չոճավորված երկխոսության պատուհանը","codex.dialog.unstyled.title":"Չոճավորված բովանդակություն","codex.diff.openInEditorPrompt.openButton":"Բացել խմբագրիչով","codex.diff.openInEditorPrompt.singleLine":"Այս ֆայլը չափազանց մեծ է՝ այստեղ ցուցադրելու համար։","codex.diffView.failedToDecodeBase64Diff":"Չհաջողվեց վերծանել base64 diff-ը","codex.diffView.filesChanged":"{fileCount, plural, one {Փոփոխվել է # ֆայլ} other {Փոփոխվել է # ֆայլ}}","codex.diffView.imagePreviewAlt":"Պատկերի նախադիտում","codex.diffView.imagePreviewEmpty":"Պատկերները բացակայում է","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Diff տվյալներ չկան","codex.diffView.pdfPreview.nextPage":"Հաջորդ էջը","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Նախորդ էջը","codex.diffView.pdfPreviewEmpty":"PDF-ի նախադիտում չկա","codex.diffView.pdfPreviewError":"PDF-ի նախադիտումը հնարավոր չէ արտապատկերել","codex.diffView.richPreviewDisable":"Անջատել հարստացված նախադիտումը","codex.diffView.richPreviewEnable":"Միացնել հարստացված նախադիտումը","codex.diffView.richPreviewLoading":"Նախադիտումը բեռնվում է...","codex.diffView.richPreviewToggle":"Միացնել/անջատել հարստացված նախադիտումը","codex.diffView.switchToUnified":"Անցնել միասնական diff-ի","codex.environmentSelector.noEnvironment":"Միջավայրը բացակայում է","codex.environments.environmentSettings":"Միջավայրի կարգավորումներ","codex.environments.learnMore":"Իմանալ ավելին","codex.environments.listError":"Չհաջողվեց բեռնել միջավայրերը։","codex.environments.noEnvironmentsFound":"Միջավայրերը բացակայում են","codex.environments.searchError":"Չհաջողվեց որոնել միջավայրերը։","codex.errorBoundary.genericError":"Կներեք, սխալ առաջացավ","codex.errorBoundary.goHome":"Նորից փորձել","codex.file.patch.missing":"Այս ֆայլի համար հնարավոր չէ ձևափոխում ստեղծել։","codex.gallery.automations.cwdLabel":"Նախագծեր","codex.gallery.automations.nameLabel":"Անվանում","codex.gallery.automations.namePlaceholder":"Ամփոփել առաջադրանքը","codex.gallery.automations.promptLabel":"Հարցում","codex.gallery.automations.promptPlaceholder":"Նկարագրեք, թե ինչ պետք է անի Codex-ը","codex.gallery.dialogs.automation.label":"Ավտոմատացման երկխոսություն","codex.gallery.dialogs.basic.body":"Օգտագործեք այս դասավորությունը պարզ հաստատումների կամ կարճ ձևաթղթերի համար։","codex.gallery.dialogs.basic.cancel":"Չեղարկել","codex.gallery.dialogs.basic.confirm":"Հաստատել","codex.gallery.dialogs.basic.label":"Հիմնական երկխոսություն","codex.gallery.dialogs.basic.title":"Երկխոսության նմուշ","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Նկարագրեք խնդիրը","codex.gallery.dialogs.feedbackSubmission.bad":"Վատ արդյունք","codex.gallery.dialogs.feedbackSubmission.bug":"Վրիպակ","codex.gallery.dialogs.feedbackSubmission.good":"Լավ արդյունք","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Ներառել Codex-ի ընթացիկ աշխատաշրջանի մատյանները","codex.gallery.dialogs.feedbackSubmission.label":"Կարծիքի ներկայացում","codex.gallery.dialogs.feedbackSubmission.other":"Այլ","codex.gallery.dialogs.feedbackSubmission.placeholder":"Նկարագրեք խնդիրն այստեղ","codex.gallery.dialogs.feedbackSubmission.submit":"Ուղարկել","codex.gallery.dialogs.feedbackSubmission.title":"Կարծիք","codex.gallery.dialogs.feedbackSuccess.body":"Կարծիքը վերբեռնված է։ Եթե ​​խնդիրը շարունակվի, բացեք GitHub-ի խնդիրը կամ նշեք շարքի ID-ն արդեն իսկ բացված խնդրում՝","codex.gallery.dialogs.feedbackSuccess.dismiss":"Փակել","codex.gallery.dialogs.feedbackSuccess.label":"Կարծիքն ուղարկվեց","codex.gallery.dialogs.feedbackSuccess.title":"Կարծիքը վերբեռնված է","codex.gallery.dialogs.gitApplyResults.applied":"Անխափան կիրառվեց (2)","codex.gallery.dialogs.gitApplyResults.close":"Փակել","codex.gallery.dialogs.gitApplyResults.conflicted":"Հակասություններ (1)","codex.gallery.dialogs.gitApplyResults.label":"Կիրառեք արդյունքները","codex.gallery.dialogs.gitApplyResults.title":"Կիրառեք արդյունքները","codex.gallery.dialogs.gitPushError.body":"Քաշեք վերջին փոփոխությունները կամ հարկադրաբար կատարեք push-ը, եթե գիտեք, որ հեռակա պատմությունը կարելի է անվտանգ ձևով վրագրել։","codex.gallery.dialogs.gitPushError.cancel":"Չեղարկել","codex.gallery.dialogs.gitPushError.force":"Հարկադրաբար կատարել push-ը","codex.gallery.dialogs.gitPushError.label":"Push սխալ","codex.gallery.dialogs.gitPushError.subtitle":"Ձեր ճյուղը գտնվում է origin/main-ի հետևում։","codex.gallery.dialogs.gitPushError.title":"Չհաջողվեց ուղարկել փոփոխությունները","codex.gallery.dialogs.gitRevert.cancel":"Չեղարկել","codex.gallery.dialogs.gitRevert.confirm":"Հետադարձել","codex.gallery.dialogs.gitRevert.label":"Հետադարձել փոփոխությունները","codex.gallery.dialogs.gitRevert.skip":"Այլևս չհարցնել","codex.gallery.dialogs.gitRevert.subtitle":"Տվյալ գործողությունը ջնջում է այս բոլոր փոփոխությունները։","codex.gallery.dialogs.gitRevert.title":"Հետադարձե՞լ փոփոխությունները","codex.gallery.dialogs.longForm.label":"Երկար ձևաչափով երկխոսություն","codex.gallery.dialogs.proseModal.body":"Այս մոդալ ոճը օգտագործվում է ավելի երկար հրահանգների, օնբորդինգի կամ հարուստ բովանդակության բլոկների համար։","codex.gallery.dialogs.proseModal.close":"Փակել","codex.gallery.dialogs.proseModal.subtitle":"Տեղադրեք մանրամասն ուղեցույցներ կամ փաստաթղթեր այստեղ։","codex.gallery.dialogs.proseModal.title":"Պրոզայի մոդալ","codex.gallery.dialogs.submitBlocked.label":"Ուղարկումն արգելափակված է","codex.gallery.dialogs.submitBlocked.message":"Ձեր հաղորդագրությունը չի կարող ուղարկվել, քանի որ նախագիծը հասանելի չէ։","codex.gallery.dialogs.submitBlocked.ok":"Լավ","codex.gallery.dialogs.submitBlocked.title":"Չհաջողվեց ուղարկել հաղորդագրությունը","codex.gallery.dialogs.title":"Երկխոսություններ","codex.gallery.dropdown.filterPlaceholder":"Զտեք տարրերը","codex.gallery.dropdowns.actionRow":"Գործողությունների տողեր","codex.gallery.dropdowns.actionRow.disabled":"Անջատված գործողություն","codex.gallery.dropdowns.actionRow.primary":"Առաջնային գործողություն","codex.gallery.dropdowns.actionRow.secondary":"Երկրորդական գործողություն","codex.gallery.dropdowns.actionRow.trigger":"Ցուցադրել գործողությունները","codex.gallery.dropdowns.basic":"Հիմնական ցանկ","codex.gallery.dropdowns.basic.newFile":"Նոր ֆայլ","codex.gallery.dropdowns.basic.newFolder":"Նոր պանակ","codex.gallery.dropdowns.basic.openSettings":"Բացել կարգավորումները","codex.gallery.dropdowns.basic.title":"Արագ գործողություններ","codex.gallery.dropdowns.basic.trigger":"Բացել ընտրացանկը","codex.gallery.dropdowns.basic.upload":"Վերբեռնել","codex.gallery.dropdowns.panel":"Վահանակի մակերես","codex.gallery.dropdowns.panel.apply":"Կիրառել","codex.gallery.dropdowns.panel.body":"Ստուգեք diff-երը և կիրառեք ձեր նախագծի նկատմամբ։","codex.gallery.dropdowns.panel.preview":"Նախադիտել","codex.gallery.dropdowns.panel.title":"Կիրառել փոփոխությունները","codex.gallery.dropdowns.panel.trigger":"Բացել վահանակը","codex.gallery.dropdowns.search":"Որոնման ենթակա ցանկ","codex.gallery.dropdowns.search.first":"Ալֆա ալիք","codex.gallery.dropdowns.search.second":"Բետա ճյուղ","codex.gallery.dropdowns.search.third":"Թողարկել թեկնածու","codex.gallery.dropdowns.search.trigger":"Զտեք տարրերը","codex.gallery.dropdowns.submenu":"Հիմնական ցանկ՝ ենթացանկով","codex.gallery.dropdowns.submenu.optionA":"Ալֆա նախագիծ","codex.gallery.dropdowns.submenu.optionB":"Բետա նախագիծ","codex.gallery.dropdowns.submenu.optionC":"Գամմա նախագիծ","codex.gallery.dropdowns.submenu.primary":"Նշանակել սեփականատեր","codex.gallery.dropdowns.submenu.secondary":"Տեղափոխել","codex.gallery.dropdowns.submenu.tertiary":"Արխիվացնել","codex.gallery.dropdowns.submenu.trigger":"Ընտրել գործողություն","codex.gallery.dropdowns.title":"Հիմնական ցանկեր","codex.gallery.inbox.automations.close":"Փակել","codex.gallery.inbox.automations.popover.cardTitle":"Կառավարել ավտոմատացումները","codex.gallery.inbox.automations.popover.dialogTitle":"Կառավարել ավտոմատացումները","codex.header.settingsTooltip":"Կարգավորումներ","codex.hunk.patch.error":"Չհաջողվեց նախապատրաստել","codex.hunk.patch.missing":"Այս կտորի համար հնարավոր չէ ձևափոխում ստեղծել։","codex.hunk.patch.partialSuccess":"Հաջողվեց՝ մասնակիորեն","codex.hunk.patch.revertError":"Չհաջողվեց չեղարկել նախապատրաստումը","codex.hunk.patch.revertSuccess":"Նախապատրաստման չեղարկումը հաջողվեց","codex.hunk.patch.success":"Նախապատրաստումը հաջողվեց","codex.legal.autonomy.details":"Ավելի շատ մանրամասների համար տեսնել՝ {link}","codex.legal.autonomy.details.link":"Codex-ի փաստաթղթեր","codex.legal.autonomy.title":"Որոշեք, թե որքան ինքնավարություն եք ուզում տրամադրել","codex.legal.backButton":"Հետ","codex.legal.cloud.taskOne.meta":"openai/agi · հոկտեմբերի 12","codex.legal.cloud.taskOne.title":"Բացատրեք պահոցը նոր դիզայներին","codex.legal.cloud.taskThree.meta":"openai/codex · հոկտեմբերի 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Ստեղծեք մութ ռեժիմով թեմա","codex.legal.cloud.taskTwo.meta":"openai/agi · հոկտեմբերի 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ուղղեք գրանցման սխալը","codex.legal.continue.apikey":"Շարունակել","codex.legal.continueButton":"Հաջորդ","codex.legal.copilot.details":"Օգտագործում է ձեր Copilot փաթեթը բոլոր մոդելների զանգերի, վճարային հաշիվների և սակագնային սահմանափակումների համար։ Codex-ի ընդլայնման օգտագործումը ենթակա է {oaiTos} և {gitHubTos} նախընտրանքներին։","codex.legal.copilot.gitHubTosLink":"GitHub-ի օգտագործման պայմաններ","codex.legal.copilot.oaiTosLink":"OpenAI Codex-ի ծառայության պայմաններ","codex.legal.copilot.title":"Աշխատում է GitHub Copilot-ի օգնությամբ","codex.legal.mistakes.review":"Ստուգեք այն կոդը, որը նա գրում է, և այն հրամանները, որոնք նա կատարում է","codex.legal.mistakes.title":"Codex-ը կարող է սխալներ թույլ տալ","codex.legal.powered.details":"Օգտագործում է ձեր փաթեթի սակագնային սահմանաչափերը և {link}","codex.legal.powered.details.link":"վարժեցման տվյալների նախընտրանքները","codex.legal.powered.title":"Աշխատում է ձեր ChatGPT հաշվի օգնությամբ","codex.legal.step.cloud.subtitle":"Ուղարկեք առաջադրանքներ Codex-ին՝ ֆոնային ռեժիմով կատարելու համար, որպեսզի կարողանաք կենտրոնացած մնալ և ավելի արագ առաջ գնալ։","codex.legal.step.cloud.title":"Հանձնեք այն Codex-ին Cloud-ում","codex.legal.step.intro.subtitle":"Codex-ն ուսումնասիրում, խմբագրում, գործարկում է հրամանները և թեստեր է կատարում անմիջապես ձեր պահոցում։ Աշխատում է ձեր ChatGPT հաշվի միջոցով։","codex.legal.step.intro.title":"Codex-ը ձեր IDE-ում","codex.legal.step.todo.subtitle":"Գրեք TODO մեկնաբանություն և մեկ սեղմումով այն վերածեք Codex առաջադրանքի։","codex.legal.step.todo.title":"Վերածեք TODO-ները Codex առաջադրանքների","codex.legal.todo.heading":"// TODO։ իրականացնել սխեման","codex.localConversation.closeImagePreview":"Փակել պատկերի նախադիտումը","codex.localConversation.userImageAttachment":"Օգտատիրոջ կցորդ","codex.localTaskRow.archiveTask":"Արխիվացնել շարքը","codex.localTaskRow.awaitingApproval":"Սպասում է հաստատման","codex.localTaskRow.awaitingResponse":"Սպասում է պատասխանի","codex.localTaskRow.confirmArchiveTask":"Հաստատել","codex.loggedOut.apiKeyPrompt.cancel":"Չեղարկել","codex.loggedOut.apiKeyPrompt.confirm":"Լավ","codex.loggedOut.apiKeyPrompt.getKey":"Ստանալ API բանալի","codex.loggedOut.apiKeyPrompt.inputLabel":"Մուտքագրել ձեր OpenAI-ի API բանալին","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloud-ի առաջադրանքներն անջատված են API բանալիով","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloud-ի առաջադրանքներն անջատված են Copilot-ով և API բանալիով","codex.loggedOut.signIn":"Մուտք գործել ChatGPT-ով","codex.loggedOut.signIn.cancel":"Չեղարկել մուտքը","codex.loggedOut.signInWithCopilot":"Մուտք գործել GitHub Copilot-ով","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Օգտագործել API բանալի","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} գործիք","codex.mcpTool.collapsedLabel.verb.called":"Ակտիվացվեց","codex.mcpTool.collapsedLabel.verb.calling":"Ակտիվացվում է","codex.mcpTool.embeddedResource.contentLabel":"Բովանդակություն","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-ի տեսակը","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Գործիքը բովանդակություն չի գտել","codex.mcpTool.rawPayloadHeading":"Չմշակված {server}.{tool} գործիքի ակտիվացման տվյալների փաթեթ","codex.menu.recent":"Թարմ","codex.menu.seeAllHistory":"Տեսնել ամբողջ պատմությունը","codex.modelCapacityBanner.headline.noReset":"{modelName} մոդելը ներկայումս գերծանրաբեռնված է։ Փորձեք ավելի ուշ կամ նոր զրույց սկսեք մեկ այլ մոդելի հետ։","codex.modelCapacityBanner.headline.withReset":"{modelName} մոդելը ներկայումս գերծանրաբեռնված է։ Փորձեք {resetDate} հետո կամ նոր զրույց սկսեք մեկ այլ մոդելի հետ։","codex.modelCapacityBanner.title":"Ընտրված մոդելը գերծանրաբեռնված է","codex.patch.change.contentsDeleted":"Բովանդակությունը ջնջված է","codex.patch.change.created":"Ստեղծվել է","codex.patch.change.created-file":"Ստեղծված ֆայլ","codex.patch.change.creating":"Ստեղծվում է","codex.patch.change.deleted":"Ջնջված","codex.patch.change.deleted-file":"Ջնջված ֆայլ","codex.patch.change.deleting":"Ջնջվում է","codex.patch.change.edited":"Փոփոխված","codex.patch.change.edited-file":"Փոփոխված ֆայլ","codex.patch.change.editing":"Փոփոխվում է","codex.patch.change.noChanges":"Փոփոխություններ չկան","codex.patch.change.rejected-add":"Մերժվեց","codex.patch.change.rejected-delete":"Մերժվեց","codex.patch.change.rejected-edit":"Մերժվեց","codex.plan.stepIndexPrefix":"{index}։","codex.plan.tasksCompletedSummary":"{total} առաջադրանքից {completed}-ն ավարտված է","codex.plan.todoListCreated":"Անելիքների ցանկը ստեղծվել է {total} առաջադրանքով","codex.profileDropdown.apiKeyAuth":"Մուտք գործեցիք API բանալիով","codex.profileDropdown.codexSettings":"Codex-ի կարգավորումներ","codex.profileDropdown.copilotAuth":"Մուտք գործեցիք Copilot-ով","codex.profileDropdown.defaultAccountTitle":"Կանխադրված հաշիվ","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter՝ երկար հարցումներ ուղարկելու համար","codex.profileDropdown.enterBehaviorError":"Չհաջողվեց թարմացնել կարգավորումները","codex.profileDropdown.getPlus":"Արդիացնել՝ ավելի բարձր սահմանաչափեր ստանալու համար","codex.profileDropdown.keyboardShortcuts":"Ստեղնաշարի դյուրանցումներ","codex.profileDropdown.language":"Լեզու","codex.profileDropdown.languageDefault":"Ավտոմատ հայտնաբերել","codex.profileDropdown.languageSearchPlaceholder":"Որոնեք լեզուներ","codex.profileDropdown.languageUpdateError":"Չհաջողվեց թարմացնել լեզուն","codex.profileDropdown.logOut":"Դուրս գալ","codex.profileDropdown.mcp":"MCP կարգավորումներ","codex.profileDropdown.openConfigToml":"Բացել config.toml ֆայլը","codex.profileDropdown.openConfigToml.wsl":"Բացել config.toml ֆայլը WSL միջավայրում","codex.profileDropdown.openExtensionSettings":"Բացել կարգավորումները","codex.profileDropdown.openMcpSettings":"Բացել MCP կարգավորումները","codex.profileDropdown.openOnStartup":"Բացել մեկնարկի ժամանակ","codex.profileDropdown.openOnStartupError":"Չհաջողվեց թարմացնել կարգավորումները","codex.profileDropdown.openSkillsSettings":"Բացել հմտությունների կարգավորումները","codex.profileDropdown.personalAccountTitle":"Անձնական հաշիվ","codex.profileDropdown.queueFollowUps":"Սպասման ցուցակի հետագա փորձարկումներ","codex.profileDropdown.queueFollowUpsError":"Չհաջողվեց թարմացնել կարգավորումները","codex.profileDropdown.readDocs":"Կարդալ փաստաթղթերը","codex.profileDropdown.readSkillsDocs":"Կարդալ փաստաթղթերը","codex.profileDropdown.runInWsl":"Գործարկել WSL-ում","codex.profileDropdown.runInWslError":"Չհաջողվեց թարմացնել կարգավորումները","codex.profileDropdown.runInWslTooltip":"Գործարկում է Codex-ը WSL-ի ներսում։ Խորհուրդ է տրվում բարելավված անվտանգության և ավելի լավ արտադրողականության համար։","codex.profileDropdown.settings":"IDE-ի կարգավորումներ","codex.profileDropdown.settingsPage":"Կարգավորումներ","codex.profileDropdown.signInWithOpenAI":"Մուտք գործել ChatGPT-ով","codex.profileDropdown.skills":"Հմտությունների կարգավորումներ","codex.profileDropdown.switchToCopilotAccount":"Օգտագործել Copilot հաշիվը","codex.profileDropdown.switchToOpenAIAccount":"Օգտագործել OpenAI հաշիվը","codex.profileDropdown.todoCodelens":"Շտկել TODO մեկնաբանությունները","codex.profileDropdown.todoCodelensError":"Չհաջողվեց թարմացնել կարգավորումները","codex.profileDropdown.windowsDocumentation":"Windows-ի փաստաթղթեր","codex.profileFooter.signedInFallback":"Կարգավորումներ","codex.profileFooter.upgrade":"Արդիացնել","codex.recentTasksMenu.clearSearch":"Մաքրել որոնումը","codex.recentTasksMenu.cloud":"Cloud-ի առաջադրանքներ","codex.recentTasksMenu.count":"{count, plural, =0 {Ընթացիկ առաջադրանքներ չկան} one {# առաջադրանք ընթացքում է} other {# առաջադրանք ընթացքում է}}","codex.recentTasksMenu.empty":"Շարքեր դեռևս չկան","codex.recentTasksMenu.errorCloud":"Առաջադրանքները չհաջողվեց բեռնել։","codex.recentTasksMenu.errorCloud.inline":"Cloud-ի առաջադրանքները չհաջողվեց բեռնել։","codex.recentTasksMenu.filterAll":"Բոլորը","codex.recentTasksMenu.filterCloudTasks":"Զտեք Cloud-ի առաջադրանքները","codex.recentTasksMenu.filterTooltip":"Զտել առաջադրանքներն ըստ միջավայրի","codex.recentTasksMenu.local":"Տեղային առաջադրանքներ","codex.recentTasksMenu.recent":"Բոլոր առաջադրանքները","codex.recentTasksMenu.search":"Որոնել վերջին առաջադրանքները","codex.recentTasksMenu.searchEmpty":"Արդյունք չկա","codex.recentTasksMenu.tooltip":"Առաջադրանքների պատմություն","codex.recentTasksMenu.trigger":"Վերջին առաջադրանքները։ {count, plural, one {#-ն ընթացքում է} other {#-ն ընթացքում է}}","codex.remoteConversation.applyDiff.applyCta":"Կիրառել փոփոխությունները","codex.remoteConversation.applyDiff.dropdownTitle":"Կիրառել փոփոխությունները տեղային ճյուղավորման վրա","codex.remoteConversation.applyDiff.revertCta":"Հետադարձել փոփոխությունները","codex.remoteConversation.closeImagePreview":"Փակել պատկերի նախադիտումը","codex.remoteConversation.codexCloudTask":"Դուք դիտում եք <u>Codex cloud</u>-ի առաջադրանք","codex.remoteConversation.errorWithMessage":"Սխալ. {message}","codex.remoteConversation.loadingImage":"Պատկերը բեռնվում է","codex.remoteConversation.openInWeb":"Բացել վեբում","codex.remoteConversation.streaming":"Մեկնարկում է","codex.remoteConversation.turnFailed":"Այս առաջադրանքի ընթացքում սխալ առաջացավ","codex.remoteConversation.turnTab.loading":"Փորձ {number}","codex.remoteConversation.turnTab.title":"Փորձ {number}","codex.remoteConversation.userImageAttachment":"Օգտատիրոջ կցորդ","codex.remoteConversation.viewPreviousTurns":"Բացել վեբում","codex.remoteConversation.viewPreviousTurns.buttonText":"Բացել","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Բացել վեբում","codex.review.copyGitApplyCommand":"Պատճենել git-ի կիրառման հրամանը","codex.review.copyGitApplyCommand.toast":"Git-ի կիրառման հրամանը պատճենվեց սեղմատախտակին","codex.review.diffTooLarge.description":"Այս diff-ը չափազանց մեծ է՝ ստուգման ենթակա հատվածում ցուցադրելու համար։","codex.review.diffTooLarge.title":"Diff-ը չափազանց մեծ է ցուցադրելու համար","codex.review.expandOrCollapseDiffButton.collapse":"Ծալել բոլորը diff-երը","codex.review.expandOrCollapseDiffButton.expand":"Ծավալել բոլորը diff-երը","codex.review.expandOrCollapseDiffMenu.collapse":"Ծալել բոլորը diff-երը","codex.review.expandOrCollapseDiffMenu.expand":"Ծավալել բոլորը diff-երը","codex.review.fileSearch.clear":"Մաքրել ֆայլի զտիչը","codex.review.fileSearch.empty":"Ընթացիկ զտիչին համապատասխանող ֆայլեր չկան։","codex.review.fileSearch.label":"Զտիչի ֆայլեր","codex.review.fileSearch.placeholder":"Զտիչի ֆայլեր․․․","codex.review.filesChanged":"{num, plural, =0 {Ֆայլեր չեն փոփոխվել} one {Փոփոխվել է # ֆայլ} other {Փոփոխվել է # ֆայլ}}","codex.review.find.loadMore":"Բեռնել ավելի շատ համընկնումներ","codex.review.fullReview.hideFileTree":"Թաքցնել ֆայլերի ծառը","codex.review.fullReview.showFileTree":"Ցուցադրել ֆայլերի ծառը","codex.review.header.moreOptions":"Ստուգել ընտրանքները","codex.review.largeDiff.banner":"Հայտնաբերվել է մեծածավալ diff։ Ֆայլերը ցուցադրվում են մեկ առ մեկ։","codex.review.loadFullFiles.disable":"Մի բեռնեք ամբողջական ֆայլեր","codex.review.loadFullFiles.enable":"Բեռնեք ամբողջական ֆայլեր","codex.review.noDiff":"Ֆայլի փոփոխությունները կհայտնվեն այստեղ","codex.review.noDiff.gitInit.createRepository":"Ստեղծել git պահոց","codex.review.noDiff.gitInit.creating":"Ստեղծվում է…","codex.review.noDiff.gitInit.error":"Git-ի մեկնարկումը ձախողվեց՝ {message}","codex.review.noDiff.gitInit.success":"Git պահոցը ստեղծվեց","codex.review.noDiff.gitRepoRequired.description":"Հետևել այս նախագծում կատարված փոփոխություններին և հետարկել դրանք","codex.review.noDiff.gitRepoRequired.title":"Ստեղծեք Git պահոց","codex.review.noDiff.orNoLongerAvailable":"կամ վերջին diff-երն այլևս հասանելի չեն","codex.review.noDiff.reverted":"Վերջին քայլը հետադարձվել է","codex.review.noDiff.revertedOrCommitted":"Վերջին քայլը հետադարձվել է կամ հաստատվել","codex.review.refreshGitQueries":"Թարմացնել","codex.review.revert.file.error":"Չհաջողվեց հետադարձել {path}","codex.review.revert.file.partialSuccess":"{path} մասամբ հետադարձվեց","codex.review.revert.file.success":"{path} հետադարձվեց","codex.review.revert.hunk.error":"Չհաջողվեց հետադարձել կտոր {hunkNumber}-ը {path}-ում","codex.review.revert.hunk.partialSuccess":"Մասամբ հետադարձվեց կտոր {hunkNumber}-ը {path}-ում","codex.review.revert.hunk.success":"Հետադարձվեց կտոր {hunkNumber}-ը {path}-ում","codex.review.revert.section.error":"Չհաջողվեց հետադարձել հատվածը","codex.review.revert.section.partialSuccess":"Հատվածը մասամբ հետադարձվեց","codex.review.revert.section.success":"Հատվածը հետադարձվեց","codex.review.revertDialog.cancel":"Չեղարկել","codex.review.revertDialog.confirm":"Հաստատել","codex.review.revertDialog.message":"Տվյալ գործողությունը ջնջում է այս բոլոր փոփոխությունները։","codex.review.revertDialog.skip":"Այլևս չհարցնել","codex.review.revertDialog.title":"Հետադարձե՞լ փոփոխությունները","codex.review.richPreview.disable":"Անջատել հարստացված նախադիտումը","codex.review.richPreview.enable":"Միացնել հարստացված նախադիտումը","codex.review.source.cloud":"Cloud-ի փոփոխություններ","codex.review.source.local.all":"Ճյուղավորման բոլոր փոփոխությունները","codex.review.source.local.lastTurn":"Վերջին քայլի փոփոխություններ","codex.review.source.local.uncommitted":"Չհաստատված փոփոխություններ","codex.review.source.worktree":"Worktree-ի չգործարկված փոփոխություններ","codex.review.stageFilter.empty.staged.description":"Ընդունել խմբագրումները՝ դրանք նախապատրաստելու համար","codex.review.stageFilter.empty.staged.title":"Նախապատրաստված փոփոխություններ չկան","codex.review.stageFilter.empty.unstaged.description":"Կոդի փոփոխությունները կհայտնվեն այստեղ","codex.review.stageFilter.empty.unstaged.title":"Չնախապատրաստված փոփոխություններ չկան","codex.review.stageFilter.staged":"Նախապատրաստված","codex.review.stageFilter.staged.count":"Նախապատրաստված · {count}","codex.review.stageFilter.unstaged":"Չնախապատրաստված","codex.review.stageFilter.unstaged.count":"Չնախապատրաստված · {count}","codex.review.switchToSplit":"Անցնել մասնատված diff-ի","codex.review.switchToUnified":"Անցնել միասնական diff-ի","codex.review.toggleDiffView":"Միացնել/անջատել diff-ի դիտումը","codex.review.wordDiffs.disable":"Միացնել/անջատել բառերի diff-երը","codex.review.wordDiffs.enable":"Միացնել բառերի diff-երը","codex.review.wrap.disable":"Անջատել բառերի տողադարձումը","codex.review.wrap.enable":"Միացնել բառերի տողադարձումը","codex.section.patch.missing":"Այս հատվածի համար հնարավոր չէ ձևափոխում ստեղծել։","codex.shell.collapse":"Ծալել shell-ը","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Shell-ի բովանդակությունը պատճենվեց","codex.shell.copy.copyTooltip":"Պատճենել shell-ի բովանդակությունը","codex.shell.copyCommand":"Պատճենել հրահանգը","codex.shell.copyOutput":"Պատճենել արտածումը","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Ծավալել shell-ը","codex.shell.name":"Shell","codex.shell.noOutput":"Արտածում չկա","codex.signInFailed.message":"Չհաջողվեց մուտք գործել․ {rawMessage}","codex.stories.toast.show":"Ցուցադրել կարճ ծանուցումը","codex.stories.tooltip.basic":"Սա հուշում է","codex.stories.tooltip.hoverMe":"Նշորդը պահեք ինձ վրա","codex.stories.tooltip.largerOffset":"Այս հուշումն ավելի մեծ շեղում ունի","codex.stories.tooltip.offsetButton":"Ավելի մեծ շեղում","codex.stories.tooltip.shortcutButton":"Դյուրանցումով","codex.stories.tooltip.withShortcut":"Միացնել/անջատել տերմինալը","codex.taskRow.title":"Նոր շարք","codex.taskRowLayout.confirm":"Հաստատել","codex.threadFindBar.chatFilter":"Որոնել զրույցը","codex.threadFindBar.close":"Փակել որոնումը","codex.threadFindBar.diffFilter":"Որոնել diff-եր","codex.threadFindBar.label":"Գտնել շարքում","codex.threadFindBar.nextResult":"Հաջորդ արդյունքը","codex.threadFindBar.noResults":"0 արդյունք","codex.threadFindBar.placeholder":"Որոնել շարք․․․","codex.threadFindBar.placeholder.extension":"Որոնել շարք․․․","codex.threadFindBar.placeholder.review":"Որոնել diff․․․","codex.threadFindBar.placeholder.review.extension":"Որոնել diff․․․","codex.threadFindBar.previousResult":"Նախորդ արդյունքը","codex.todoPlan.stepIndexPrefix":"{index}։","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {Փոփոխվել է # ֆայլ} other {Փոփոխվել է # ֆայլ}}","codex.unifiedDiff.inlineLargeFile":"Չափազանց մեծ է ներտողային ցուցադրման համար","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Հետարկել","codex.unifiedDiff.revertPatchError":"Չհաջողվեց չեղարկել փոփոխությունները","codex.unifiedDiff.revertPatchSuccess":"Փոփոխությունները չեղարկվեցին","codex.unifiedDiff.reviewChangesSuffix":"փոփոխություններ","codex.unifiedDiff.reviewShort":"Ստուգել","codex.unifiedDiff.viewDiffTooltip":"Ստուգել","codex.upsellBanner.business.headline":"Այս պահին մուտքի ավելի մեծ հնարավորություն ստանալու համար հարցում ուղարկեք ձեր ադմինին կամ սպասեք մինչև {resetDate}։","codex.upsellBanner.cbp.headline":"Այս պահին մուտքի ավելի մեծ հնարավորություն ստանալու համար հարցում ուղարկեք ձեր ադմինին։","codex.upsellBanner.cta.addCredits":"Ավելացնել կրեդիտներ","codex.upsellBanner.cta.upgradeAccount":"Արդիացնել","codex.upsellBanner.cta.viewUsage":"Ուսումնասիրել օգտագործումը","codex.upsellBanner.freeOrGo.headline":"Ձեր սահմանաչափը կվերակայվի {resetDate}։ Որպեսզի շարունակեք Codex-ից օգտվել, անցեք Plus-ի այսօր։","codex.upsellBanner.general.headline":"Ձեր սահմանաչափը կվերակայվի {resetDate}։","codex.upsellBanner.general.title":"Դուք սպառել եք Codex հաղորդագրությունների սահմանաչափը","codex.upsellBanner.plus.headline":"Ձեր սահմանաչափը կվերակայվի {resetDate}։ Որպեսզի շարունակեք Codex-ից օգտվել, կրեդիտներ ավելացրեք կամ անցեք Pro-ի այսօր։","codex.upsellBanner.pro.headline":"Ձեր սահմանաչափը կվերակայվի {resetDate}։ Որպեսզի շարունակեք Codex-ից օգտվել, կրեդիտներ ավելացրեք այսօր։","codex.userMessage.autoResolveSync":"Ավտոմատ կերպով լուծել հակասությունները","codex.userMessage.commentCount":"{count, plural, one {# մեկնաբանություն} other {# մեկնաբանություն}}","codex.userMessage.copiedAriaLabel":"Պատճենվեց","codex.userMessage.copiedTooltip":"Պատճենվեց","codex.userMessage.copyAriaLabel":"Պատճենել հաղորդագրությունը","codex.userMessage.copyTooltip":"Պատճենել","codex.userMessage.implementPlan":"Իրականացնել պլանը","codex.userMessage.noContent":"(Բովանդակությունը բացակայում է)","codex.userMessage.priorConversation":"Նախկին խոսակցության հղում","codex.userMessage.reviewMode":"Ստուգման ռեժիմ","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}ի համար","codex.webSearch.summary.verb.completed":"Որոնումը վեբում ավարտվեց","codex.webSearch.summary.verb.inProgress":"Որոնվում է վեբում","codex.windowsInstallWslBanner.dismiss":"Փակել","codex.windowsInstallWslBanner.installWslCta":"Միացնել պաշտպանված միջավայրը","codex.windowsInstallWslBanner.learnMore":"Իմանալ ավելին","codex.windowsSandboxBanner.content":"Ագենտի ռեժիմը Windows-ում օգտագործում է փորձարարական պաշտպանված միջավայր՝ ֆայլային համակարգի և ցանցի հասանելիությունը սահմանափակելու համար։ {sandboxLink}","codex.windowsSandboxBanner.title":"Միացնել պաշտպանված միջավայրը ագենտի ռեժիմի համար","codex.windowsSubDropdown.windowsSandbox":"Windows-ի պաշտպանված միջավայր","codex.windowsSubDropdown.windowsSettings":"Windows-ի կարգավորումներ","codexUpgradeModal.body":"Codex-ն այժմ աշխատում է GPT-5.2-Codex-ով, որը մեր ամենավերջին առաջատար ագենտային ծրագրավորման մոդելն է։ Կոդավորման դեպքում այն ​​հետևյալն է՝ {link}, իսկ հետագա կատարելագործումները GPT-5.2-ով են։","codexUpgradeModal.close":"Փակել","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"ավելի խելացի և ավելի արագ","codexUpgradeModal.title":"Հենց նոր թողարկվել է Codex-ի արդիացումը","codexUpgradeModal.tryNewModel":"Փորձել GPT-5.2-Codex-ը հիմա","codexUpgradeModal.useExistingModel":"Շարունակել ընթացիկ մոդելով","commentAttachments.numComments":"{count, plural, one {# մեկնաբանություն} other {# մեկնաբանություն}}","commentAttachments.removeAriaLabel":"Հեռացնել մեկնաբանությունների կցորդը","common.close":"Փակել","composer.addContext.openFilePickerError":"Անհնար է բացել ֆայլերի ընտրիչը","composer.addContextDropdown.ariaLabel":"Ավելացրեք ֆայլեր և ավելին","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Ավելացրեք ֆայլեր և ավելին","composer.addPhotosAndFiles":"Ավելացնել լուսանկարներ և ֆայլեր","composer.atMentionList.emptyQuery":"Մուտքագրել՝ ֆայլեր որոնելու համար","composer.atMentionList.loading":"Որոնում է․․․","composer.atMentionList.noResults":"Արդյունքներ չկան","composer.attemptsSelector.option":"{count, plural, one {# տարբերակ} other {# տարբերակ}}","composer.attemptsSelector.tooltip":"Codex-ի կողմից զուգահեռ փորձերի քանակը","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Դադարեցնել","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Տեղային","composer.cloudFollowUp.whereRun":"Որտե՞ղ պետք է գործարկվի այս հետագա փորձարկումը","composer.cloudTaskCreationError":"Cloud-ի առաջադրանքը ստեղծելիս սխալ առաջացավ","composer.cloudTaskError":"Առաջադրանքը ստեղծելիս սխալ առաջացավ","composer.contextWindow.autoCompactionTooltipLine1":"Codex-ն ավտոմատ կերպով սեղմում է իր համատեքստը","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Համատեքստի պատուհան՝","composer.contextWindowUsageStatusFull":"{usage}% լցված է","composer.contextWindowUsageStatusLeft":"Օգտագործվել է {usage}% (մնացել է {remaining}%)","composer.contextWindowUsageTooltip":"{usedTokens}հզր / {contextWindow}հզր թոքեն է օգտագործվել","composer.customCliTooltip":"Օգտագործելով հատուկ CLI գործարկվող ծրագիր","composer.dictation.aria":"Թելադրել","composer.dictation.cancel.aria":"Դադարեցնել թելադրելը","composer.dictation.cancel.tooltip":"Դադարեցնել թելադրելը","composer.dictation.startError":"Հնարավոր չէ սկսել թելադրությունը","composer.dictation.submit.aria":"Տառադարձել և ուղարկել","composer.dictation.submit.tooltip":"Տառադարձել և ուղարկել","composer.dictation.tooltip":"Պահել՝ թելադրելու համար","composer.dictation.transcribeError":"Անհնար է տառադարձել աուդիոն","composer.dictation.unsupported":"Թելադրությունը հասանելի չէ այս սարքի վրա","composer.dropOverlay.holdShift":"Սեղմած պահեք {key}-ը գցելու համար","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Ստեղծել նորը","composer.environmentSelector.error":"Միջավայրերի բեռնման ընթացքում սխալ առաջացավ","composer.environmentSelector.goBack":"Վերադառնալ composer-ին","composer.environmentSelector.title":"Ընտրել միջավայր","composer.environmentSelector.tooltip":"Ընտրել cloud միջավայր","composer.feedbackSlashCommand.title":"Կարծիք","composer.filePicker.selectFile":"Ընտրեք ֆայլ","composer.filePicker.selectFiles":"Ընտրեք ֆայլեր","composer.followerTooltip":"Շարունակելու համար վերադարձեք այն պատուհանին, որից սկսվել է այս զրույցը։","composer.footer.branchSwitch.checkoutError":"Չհաջողվեց փոխել ճյուղավորումը՝ {message}","composer.footer.branchSwitch.createAndCheckout":"Ստեղծեք և գրանցեք նոր ճյուղավորում…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Գործարկել փոփոխությունները՝ նոր ճյուղավորում ստեղծելու և գրանցելու համար","composer.footer.branchSwitch.createBranchError":"Չհաջողվեց ստեղծել ճյուղավորում՝ {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Ճյուղավորման անվանում","composer.footer.branchSwitch.createDialog.branchExistsError":"Ճյուղավորումն արդեն գոյություն ունի։","composer.footer.branchSwitch.createDialog.close":"Փակել","composer.footer.branchSwitch.createDialog.createAndCheckout":"Ստեղծեք և գրանցեք","composer.footer.branchSwitch.createDialog.placeholder":"նոր-ճյուղավորում","composer.footer.branchSwitch.createDialog.title":"Ստեղծեք և գրանցեք նոր ճյուղավորում","composer.footer.branchSwitch.createDialog.trailingSlashError":"Ճյուղավորման անվանումը չի կարող ավարտվել «/» նշանով։","composer.footer.branchSwitch.tooltip":"Փոխել ճյուղավորումը","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Պահպանեք {fileCount, plural, one {# ֆայլ} other {# ֆայլ}}-ում կատարված փոփոխությունները՝ {branchName}-ին անցնելու համար։","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Պահպանեք","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, one {# ֆայլ} other {# ֆայլ}}-ում կատարված փոփոխությունները՝ {branchName}-ին անցնելու համար։","composer.footer.branchSwitch.uncommittedDialog.cancel":"Չեղարկել","composer.footer.branchSwitch.uncommittedDialog.commit":"Պահպանել և անցնել այլ ճյուղավորման...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Հետևյալ ֆայլերում ձեր կատարած փոփոխությունները չեն պահպանվի այլ տեղեր անցնելու դեպքում.","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Խնդրում ենք պահպանել ձեր փոփոխությունները՝ շարունակելու համար","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ընտրված ճյուղավորում","composer.footer.branchSwitch.uncommittedDialog.title":"Պահպանեք կատարված փոփոխությունները՝ այլ ճյուղավորում անցնելու համար","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Չգործարկված՝ {fileCount, plural, one {# ֆայլ} other {# ֆայլ}}","composer.forkSlashCommand.description":"Ստեղծեք այս շարքի առանձին պատճեն տեղային միջավայրում կամ նոր worktree-ում","composer.forkSlashCommand.option.local.description":"Շարունակեք նոր տեղային շարքում","composer.forkSlashCommand.option.local.title":"Ստեղծել առանձին պատճեն տեղային միջավայրում","composer.forkSlashCommand.option.worktree.description":"Շարունակեք նոր worktree-ում","composer.forkSlashCommand.option.worktree.title":"Ստեղծել առանձին պատճեն նոր worktree-ում","composer.forkSlashCommand.title":"Պատճենել","composer.imageInputsUnsupported":"Այս մոդելը չի ​​աջակցում պատկերի մուտքագրումը։ Փորձեք այլ մոդել։","composer.imageUploadFailed":"Չհաջողվեց վերբեռնել պատկերը","composer.includeIdeContextDropdown":"Ներառել IDE համատեքստ","composer.includeIdeContextDropdown.ariaLabel":"Ներառել IDE համատեքստ","composer.localCwdDropdown.addWorkspaceRoot":"Ավելացնել նոր նախագիծ","composer.localCwdDropdown.noActiveRoot":"Ընտրեք ձեր նախագիծը","composer.localCwdDropdown.noResults":"Պանակներ չեն գտնվել","composer.localCwdDropdown.title":"Ընտրեք ձեր նախագիծը","composer.localTaskError":"Խոսակցությունը սկսելու ընթացքում սխալ է առաջացել","composer.mcpSlashCommand.description":"Ցուցադրել MCP սերվերի կարգավիճակը","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Իսկորոշված չէ","composer.mcpStatus.authOauth":"Իսկորոշված է (OAuth)","composer.mcpStatus.authToken":"Իսկորոշված է (API բանալի)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Փակել","composer.mcpStatus.disabled":"Անջատված","composer.mcpStatus.emptyLabel":"Սերվերներ՝","composer.mcpStatus.emptyValue":"Կազմաձևված MCP սերվերներ չկան","composer.mcpStatus.enabled":"Միացված","composer.mcpStatus.errorLabel":"Կարգավիճակ՝","composer.mcpStatus.errorValue":"Անհնար է բեռնել MCP կարգավիճակը","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Ագենտ","composer.mode.agentMode.auto.dropdownLabel":"Ագենտ","composer.mode.agentMode.auto.optionLabel":"Ագենտ","composer.mode.agentMode.changePermission":"Անցնել այլ ռեժիմի","composer.mode.agentMode.custom":"Հարմարեցված","composer.mode.agentMode.custom.dropdownLabel":"Հարմարեցված","composer.mode.agentMode.custom.option":"Հարմարեցրած (config.toml)","composer.mode.agentMode.custom.optionLabel":"Հարմարեցրած (config.toml)","composer.mode.agentMode.customInfo.cancel":"Չեղարկել","composer.mode.agentMode.customInfo.cli":"Կարող եք ճշգրտել այդ կարգավորումները CLI-ից կամ ուղղակիորեն ֆայլը խմբագրելով։","composer.mode.agentMode.customInfo.confirm":"Օգտագործել հատուկ ռեժիմը","composer.mode.agentMode.customInfo.description":"Հատուկ ռեժիմը կիրառում է սահմանված հաստատման և փորձարկման միջավայրի կանոնները՝ սահմանված ձեր <link>config.toml</link> ֆայլում։","composer.mode.agentMode.customInfo.docs":"Իմանալ ավելին հաստատման և փորձարկման միջավայրի կանոնների կազմաձևման մասին <link>կատարման միջավայրի փաստաթղթերում</link>։","composer.mode.agentMode.customInfo.refresh":"Ցանկացած փոփոխություն ուժի մեջ կմտնի ագենտի հաջորդ գործարկման ժամանակ։","composer.mode.agentMode.customInfo.title":"Ինչպես է աշխատում հատուկ ռեժիմը","composer.mode.agentMode.fullAccess":"Ագենտ (լիարժեք հասանելիություն)","composer.mode.agentMode.fullAccess.dropdownLabel":"Ագենտ (լիարժեք հասանելիություն)","composer.mode.agentMode.fullAccess.optionLabel":"Ագենտ (լիարժեք հասանելիություն)","composer.mode.agentMode.fullAccessConfirm.caution":"Զգույշ եղեք լիարժեք հասանելիություն տրամադրելիս։ Սա զգալիորեն մեծացնում է տվյալների կորստի, արտահոսքի կամ անսպասելի վարքագծի ռիսկը։","composer.mode.agentMode.fullAccessConfirm.confirm":"Այո, միևնույն է շարունակել","composer.mode.agentMode.fullAccessConfirm.description":"Երբ Codex-ը աշխատում է լիարժեք հասանելիությամբ, այն կարող է խմբագրել ձեր համակարգչի ցանկացած ֆայլ և հրամաններ գործարկել ցանցով՝ առանց ձեր հաստատման։","composer.mode.agentMode.fullAccessConfirm.goBack":"Չեղարկել","composer.mode.agentMode.fullAccessConfirm.title":"Տրամադրել լիարժեք հասանելիությո՞ւն","composer.mode.agentMode.readOnly":"Զրույց","composer.mode.agentMode.readOnly.dropdownLabel":"Զրույց","composer.mode.agentMode.readOnly.optionLabel":"Զրույց","composer.mode.agentMode.tooltip":"Անցնել այլ ռեժիմի","composer.mode.agentMode.tooltip.auto":"Կարդալ և փոփոխել ֆայլերը, գործարկել հրամանները։","composer.mode.agentMode.tooltip.custom":"Օգտագործել config.toml-ում սահմանված հաստատման և փորձարկման միջավայրի վերջին կանոնները։","composer.mode.agentMode.tooltip.fullAccess":"Codex-ը կարող է խմբագրել ֆայլեր այս նախագծից դուրս և գործարկել հրամաններ ցանցային հասանելիությամբ։ Օգտագործելիս զգույշ եղեք։","composer.mode.agentMode.tooltip.readOnly":"Պահանջվում է հաստատում՝ ֆայլերը խմբագրելու և հրամաններ գործարկելու համար։","composer.mode.cloud.tooltip":"Աշխատել cloud միջավայրում","composer.mode.contactAdmin":"Ավելի շատ հասանելիություն ստանալու համար կապվեք ձեր ադմինիստրատորի հետ","composer.mode.local":"Տեղային","composer.mode.local.learnMore":"Իմանալ ավելին","composer.mode.local.model.custom":"Հարմարեցված","composer.mode.local.model.loadingModel":"Մոդելը բեռնվում է","composer.mode.local.model.selecrReasoningEffort":"Ընտրեք տրամաբանումը","composer.mode.local.model.selectModel":"Ընտրեք մոդել","composer.mode.local.model.tooltip":"Ընտրել մոդել","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Բարձր","composer.mode.local.reasoning.low.label":"Ցածր","composer.mode.local.reasoning.medium.label":"Միջին","composer.mode.local.reasoning.minimal.label":"Նվազագույն","composer.mode.local.reasoning.none.label":"Չկա","composer.mode.local.reasoning.xhigh.label":"Շատ բարձր","composer.mode.localRemoteWhereRun":"Ընտրեք, թե որտեղ գործարկել առաջադրանքը","composer.mode.newTask.header":"Շարունակել","composer.mode.rateLimit.day":"{days} օր","composer.mode.rateLimit.heading":"Մնացած սակագնային սահմանաչափեր","composer.mode.rateLimit.hour":"{hours} ժ","composer.mode.rateLimit.minute":"{minutes} ր","composer.mode.rateLimit.modelSectionLabel":"{modelName}-ի սահմանաչափ՝","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {շաբաթական սահմանաչափ} other {սահմանաչափ {weeks} շաբաթվա համար}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Ամեն շաբաթ} other {{weeks} շաբաթ}}","composer.mode.remote.connectToCloud":"Կապակցել Codex վեբին","composer.mode.remote.connectToCloudDisabledTooltip":"Ստեղծեք միջավայր Codex վեբի միջոցով՝ առաջադրանքները cloud ուղարկելու հնարավորություն ստանալու համար","composer.mode.remote.selectEnvironment":"Ընտրել միջավայր","composer.mode.remote.sendToCloud":"Ուղարկել cloud","composer.mode.remote.setupViaWeb":"Ստեղծել միջավայր Codex վեբի միջոցով","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Աշխատել cloud միջավայրում","composer.mode.segmentedToggle.local.tooltip":"Աշխատեք ձեր տեղային նախագծում","composer.mode.segmentedToggle.worktree.tooltip":"Աշխատել զուգահեռ worktree-ում","composer.mode.upgradeToPlus":"Անցնել Plus-ի","composer.mode.upgradeToPro":"Անցնել Pro-ի","composer.mode.workLocally":"Տեղային նախագիծ","composer.mode.workLocally.currentBranchFallback":"ձեր ճյուղավորումը","composer.mode.workLocally.tooltip":"Աշխատել {branchName}-ի վրա","composer.mode.worktree":"Նոր worktree","composer.mode.worktree.submoduleWarning":"Այս պահոցն ունի git-ի ենթամոդուլներ։ Worktree-ի ստեղծումը կարող է ձախողվել","composer.mode.worktree.tooltip":"Ստեղծեք ձեր տեղային աշխատատարածքի պատճենը՝ զուգահեռաբար աշխատելու համար","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Խոսակցության ընթացքում մոդելի փոփոխումը կհանգեցնի արդյունավետության նվազեցմանը։","composer.newChat.heading.browser":"Ի՞նչ կոդավորենք հաջորդիվ","composer.permissionsDropdown.custom.label":"Հարմարեցրած (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Հարմարեցրած (config.toml)","composer.permissionsDropdown.default.label":"Կանխադրված թույլտվություններ","composer.permissionsDropdown.default.optionLabel":"Կանխադրված թույլտվություններ","composer.permissionsDropdown.fullAccess.disabled":"Լիարժեք հասանելիությունն անջատված է requirements.toml-ի կողմից","composer.permissionsDropdown.trigger.tooltip":"Փոփոխել թույլտվությունները","composer.personalitySlashCommand.description.friendly":"Ջերմ, համագործակցային և օգտակար","composer.personalitySlashCommand.description.pragmatic":"Սեղմ, առաջադրանքի վրա կենտրոնացած և ուղիղ","composer.personalitySlashCommand.label.friendly":"Սիրալիր","composer.personalitySlashCommand.label.pragmatic":"Պրագմատիկ","composer.personalitySlashCommand.notApplicableSuffix":"(Չի վերաբերում ընթացիկ մոդելին)","composer.personalitySlashCommand.title":"Անհատականություն","composer.placeholder.cloudFollowUp.directFollowUp":"Հետևեք cloud-ի այս առաջադրանքին","composer.placeholder.cloudFollowUp.local":"Ստեղծեք նոր տեղային առաջադրանք, որը հղում է կատարում cloud-ի այս առաջադրանքին","composer.placeholder.cloudFollowUp.workingTree":"Ստեղծեք cloud-ի նոր առաջադրանք, որը ներառում է ձեր ընթացիկ կոդը և հղում կկատարի այս առաջադրանքին","composer.placeholder.localFollowUp.cloud":"Շարունակել նոր ամպային առաջադրանքում","composer.placeholder.localFollowUp.locally":"Խնդրել լրացուցիչ փոփոխություններ","composer.placeholder.newTask.cloud":"Խնդրեք Codex-ին անել ցանկացած բան cloud-ում","composer.placeholder.newTask.doAnything":"Խնդրեք Codex-ին անել ցանկացած բան","composer.placeholder.newTask.locally":"Հարցրեք Codex-ին ցանկացած բան՝ դնելով «@» նշանը՝ ֆայլեր ավելացնելու համար, «/» նշանը՝ հրամանների համար","composer.planModeDropdown":"Պլանավորման ռեժիմ","composer.planModeDropdown.ariaLabel":"Պլանավորման ռեժիմ","composer.planModeIndicator":"Փաթեթ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Անջատել պլանավորման ռեժիմը","composer.planSlashCommand.enableDescription":"Միացնել պլանավորման ռեժիմը","composer.planSlashCommand.title":"Պլանավորման ռեժիմ","composer.priorContext.label":"Նախորդ համատեքստը","composer.priorContext.removeAriaLabel":"Հեռացնել նախորդ համատեքստը","composer.queuedMessage.delete":"Ջնջել հերթում եղած հաղորդագրությունը","composer.queuedMessage.edit":"Խմբագրել հաղորդագրությունը","composer.queuedMessage.more":"Հերթում եղած հաղորդագրությունների հետ կապված գործողություններ","composer.queuedMessage.sendNow":"Ուղարկել հիմա","composer.queuedMessage.turnOff":"Անջատել հերթագրումը","composer.reasoningEffort.local.reasoning.tooltip":"Ընտրեք տրամաբանման չափը","composer.remote.branchStartingPoint":"Ի՞նչ ճյուղավորումից պետք է սկսվի տվյալ առաջադրանքը","composer.remote.branchesSectionHeading":"Branch-ներ","composer.remote.currentEditsSuffix.followUp":"Ստեղծեք նոր առաջադրանք, որը հղում է կատարում cloud-ի այս առաջադրանքին։","composer.remote.currentEditsSuffix.useLocal":"տեղային կոդի փոփոխություններով","composer.remote.directFollowUp":"Մի օգտագործեք տեղային փոփոխությունները","composer.remote.errorLoadingBranches":"Չհաջողվեց բեռնել branch-ները","composer.remote.fromBranch":"{branch}-ից","composer.remote.fromCurrentBranch":"{branch}-ից (ընթացիկ)","composer.remote.loadingMoreBranches":"Բեռնվում է․․․","composer.remote.localFileStateHeading":"Տեղային ֆայլի կարգավիճակ","composer.remote.localWorkingTree":"Օգտագործել տեղային փոփոխությունները","composer.remote.startingPoint":"Ի՞նչ կոդից պետք է սկսվի տվյալ առաջադրանքը","composer.reviewMode.branches.error":"Հնարավոր չէ բեռնել branch-ները","composer.reviewMode.branches.retry":"Կրկին փորձել","composer.reviewMode.gitRoot.error":"Git root-ը չի գտնվել","composer.reviewMode.option.baseBranch.simple":"Ստուգել բազային branch-ի համեմատ","composer.reviewMode.option.unstaged.simple":"Ստուգել չհաստատված փոփոխությունները","composer.reviewMode.quickReviewError":"Կոդի ստուգումը չհաջողվեց սկսել։","composer.reviewMode.title":"Կոդի ստուգում","composer.sandboxButton.unlock.disabled.tooltip":"Լիարժեք հասանելիությունն անջատված է requirements.toml-ի կողմից","composer.sandboxButton.windowsSandboxDialog.content":"Codex-ը Windows-ում կարող է օգտագործել փորձարարական պաշտպանված միջավայր՝ ֆայլային համակարգի և ցանցի հասանելիությունը սահմանափակելու համար։ {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Միացնե՞լ Windows-ի պաշտպանված միջավայրը","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Օգտագործել միայն կարդալու տարբերակը","composer.searchEnvironments":"Որոնեք միջավայրեր","composer.skillMentionList.app":"Հավելված","composer.skillMentionList.loading":"Հմտությունները բեռնվում են...","composer.skillMentionList.noResults":"Հմտություններ չեն գտնվել","composer.slashCommands.cloudEnvironment.title":"Cloud միջավայր","composer.slashCommands.dialogLabel":"Slash հրահանգի ընտրացանկ","composer.slashCommands.dialogTitle":"Slash հրահանգներ","composer.slashCommands.disabledTooltip":"Սկսեք նոր զրույց՝ slash հրահանգներն օգտագործելու համար","composer.slashCommands.inputPlaceholder":"Որոնեք","composer.slashCommands.noResults":"Ոչ մի հրահանգ","composer.slashCommands.skillsGroup":"Հմտություններ","composer.slashCommands.tooltip":"Դիտարկեք slash հրահանգները","composer.status.close":"Փակել","composer.statusPlain.alertLabel":"Զգուշացում.","composer.statusPlain.alertValue":"{remaining}% դեռևս առկա է {window}","composer.statusPlain.contextLabel":"Համատեքստ.","composer.statusPlain.contextTotal":"{count} հազար","composer.statusPlain.contextValueMetadata":"(օգտագործվել է {used} / {total})","composer.statusPlain.contextValueRemaining":"Մնացել է {remaining}%","composer.statusPlain.heading":"Կարգավիճակ","composer.statusPlain.modelRateLimitSectionLabel":"{modelName}-ի սահմանաչափ՝","composer.statusPlain.rateLimitDays":"{count} օրվա սահմանաչափ","composer.statusPlain.rateLimitFallbackLabel":"Սահմանաչափ՝","composer.statusPlain.rateLimitHours":"{count} ժամվա սահմանաչափ","composer.statusPlain.rateLimitLabelBase":"Սահմանաչափ՝","composer.statusPlain.rateLimitMinutes":"{count} րոպեի սահմանաչափ","composer.statusPlain.rateLimitPercent":"Մնացել է {remaining}%","composer.statusPlain.rateLimitReset":"վերակայումը՝ {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"վերակայման ժամկետն անհասանելի է","composer.statusPlain.rateLimitUnavailable":"Հասանելի չէ","composer.statusPlain.sessionCopiedAriaLabel":"Աշխատաշրջանի ID-ն պատճենվեց","composer.statusPlain.sessionCopiedTooltip":"ID-ն պատճենվեց","composer.statusPlain.sessionCopyAriaLabel":"Պատճենել աշխատաշրջանի ID-ն","composer.statusPlain.sessionCopyTooltip":"Պատճենել ID-ն","composer.statusPlain.sessionLabel":"Աշխատաշրջան՝","composer.statusSlashCommand.description":"Ցուցադրում է շարքի ID-ն, համատեքստի օգտագործումը և սահմանաչափերը","composer.statusSlashCommand.title":"Կարգավիճակ","composer.submit.blockedDialogOk":"Լավ","composer.submit.blockedDialogTitle":"Չհաջողվեց ուղարկել հաղորդագրությունը","composer.submit.emptyMessage":"Մուտքագրեք հաղորդագրություն՝ սկսելու համար","composer.submit.imageInputsUnsupported":"Այս հաղորդագրությունն ուղարկելու համար հեռացրեք պատկերները կամ փոխեք մոդելները։","composer.submit.loadingLocalConfig":"Բեռնվում է․․․","composer.submit.missingCloudConfig":"Դուք պետք է ընտրեք cloud միջավայր","composer.submit.missingCloudTurn":"Հնարավոր չէ այս առաջադրանքով լրացուցիչ հարցում անել","composer.submit.noWorkspace":"Ավելացնել նախագիծ՝ Codex-ն օգտագործելու համար","composer.submit.waitForImageUploads":"Պատկերները բեռնվում են…","composer.submitButtonTooltip.send":"Ուղարկել","composer.submitButtonTooltip.stop":"Դադարեցնել","composer.worktreeEnvironment.create":"Ստեղծել տեղային միջավայր","composer.worktreeEnvironment.default":"Կանխադրված միջավայր","composer.worktreeEnvironment.error":"Միջավայրերի բեռնման ընթացքում սխալ առաջացավ","composer.worktreeEnvironment.loading":"Միջավայրերը բեռնվում են․․․","composer.worktreeEnvironment.title":"Տեղային միջավայր","composer.worktreeEnvironment.tooltip":"Ընտրել տեղային միջավայր","composer.worktreeSetupFailed":"Worktree-ի տեղադրումը չհաջողվեց։ Անցեք .codex/environments՝ կարգավորման սկրիպտի համար։","compoundButton.secondaryAction":"Երկրորդական գործողություն","copyButton.copied":"Պատճենվեց","copyButton.copiedAriaLabel":"Պատճենվեց","copyButton.copy":"Պատճենել","copyButton.copyAriaLabel":"Պատճենել","copyButton.copyCode":"Պատճենել կոդը","diff.actionButton.revertFile":"Հետադարձել ֆայլը","diff.actionButton.revertHunk":"Չեղարկել","diff.actionButton.revertSection":"Հետադարձել բոլորը","diff.actionButton.revertSectionLabel":"Հետադարձել բոլորը","diff.actionButton.stageFile":"Նախապատրաստել ֆայլը","diff.actionButton.stageHunk":"Նախապատրաստել","diff.actionButton.stageSection":"Նախապատրաստել բոլորը","diff.actionButton.stageSectionLabel":"Նախապատրաստել բոլորը","diff.actionButton.unstageFile":"Չեղարկել ֆայլի նախապատրաստումը","diff.actionButton.unstageHunk":"Չեղարկել նախապատրաստումը","diff.actionButton.unstageSection":"Չեղարկել բոլորի նախապատրաստումը","diff.actionButton.unstageSectionLabel":"Չեղարկել բոլորի նախապատրաստումը","diff.fileHeader.toggle":"Միացնել/անջատել ֆայլի diff-ը","electron.onboarding.login.apikey.cancel":"Չեղարկել","electron.onboarding.login.apikey.continue":"Շարունակել","electron.onboarding.login.apikey.label":"OpenAI-ի API բանալի","electron.onboarding.login.apikey.open":"Մուտքագրել API բանալին","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Չեղարկել մուտքը","electron.onboarding.login.chatgpt.continue":"Շարունակել ChatGPT-ով","electron.onboarding.login.devbox":"Կապակցել հեռակա SSH-ին","electron.onboarding.login.error":"Չհաջողվեց մուտք գործել․ {rawMessage}","electron.onboarding.login.snake.start":"Խաղալ Snake","electron.onboarding.login.sshConfig.cancel":"Չեղարկել","electron.onboarding.login.sshConfig.continue":"Շարունակել","electron.onboarding.login.sshConfig.hostnameLabel":"SSH հոսթի անունը","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Ագենտների միջոցով կառուցելու լավագույն միջոցը","electron.onboarding.login.title":"Բարի գալուստ Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Շարունակել","electron.onboarding.welcome.doubleLimits.description":"Codex հավելվածի թողարկման կապակցությամբ մինչև ապրիլի 2-ը գործում են 2× սահմանաչափեր։","electron.onboarding.welcome.freego.description":"Codex-ը ներառված է ձեր սակագնային փաթեթում անվճար մինչև մարտի 2-ը. եկեք սկսենք ստեղծել միասին։","electron.onboarding.welcome.new.title.anon":"Բարի գալուստ","electron.onboarding.workspace.continue":"Շարունակել","electron.onboarding.workspace.empty":"Շարունակելու համար ավելացրեք նախագիծ։","electron.onboarding.workspace.listLabel":"Հասանելի նախագծեր","electron.onboarding.workspace.loading":"Նախագծերը բեռնվում են․․․","electron.onboarding.workspace.openFolder":"Ավելացնել նախագիծ","electron.onboarding.workspace.selectAll":"Ընտրել բոլորը","electron.onboarding.workspace.skip":"Բաց թողնել","electron.onboarding.workspace.skip.error":"Չհաջողվեց ստեղծել նոր նախագիծ՝ {message}","electron.onboarding.workspace.skip.error.unknown":"Անհայտ սխալ","electron.onboarding.workspace.skipping":"Նոր նախագիծը ստեղծվում է…","electron.onboarding.workspace.subtitle":"Codex-ը հնարավորություն կունենա խմբագրելու ֆայլեր և գործարկելու հրահանգներ ընտրված պանակներում։","electron.onboarding.workspace.title":"Ընտրել նախագիծ","errorPage.list.checkSettings":"Փորձեք թարմացնել ձեր IDE կարգավորումները","errorPage.list.configToml":"Ստուգեք ձեր config.toml ֆայլը անվավեր կարգավորումների համար","errorPage.list.downloadExtension":"Փորձեք ներբեռնել ընդլայնման այլ տարբերակ","errorPage.list.runInWsl":"Ստուգեք ձեր կարգավորումները՝ WSL-ում աշխատանքը անջատելու համար, եթե տեսնում եք համատեղելիության խնդիրներ","execApprovalRequest.menu.runAlways":"Այո, և այս աշխատաշրջանի ընթացքում այլևս պետք չէ հարցնել","execApprovalRequest.menu.runAlwaysWithAmendment":"Այո, և այլևս մի հարցրու այն հրահանգների համար, որոնք սկսվում են {command}-ով","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Այո, և այլևս մի հարցրու այն հրահանգների համար, որոնք սկսվում են այսպես՝","execApprovalRequest.menu.runOnce":"Այո","execApprovalRequest.prompt":"Ուզո՞ւմ եք գործարկել այս հրամանը","execApprovalRequest.reject":"Ոչ","execFooter.exitCode":"Դուրս գալ {code} կոդից","execFooter.exitCode.unknown":"անհայտ","execFooter.success":"Հաջողվեց","feedback.dialog.category.badResult":"Վատ արդյունք","feedback.dialog.category.bug":"Վրիպակ","feedback.dialog.category.goodResult":"Լավ արդյունք","feedback.dialog.category.other":"Այլ","feedback.dialog.descriptionPlaceholder":"Նկարագրեք խնդիրն այստեղ","feedback.dialog.dismiss":"Փակել","feedback.dialog.includeLogsLabel":"Ներառել Codex-ի ընթացիկ աշխատաշրջանի մատյանները","feedback.dialog.submit":"Ուղարկել","feedback.dialog.submitError":"Չկարողացանք ուղարկել ձեր կարծիքը։ Խնդրում ենք կրկին փորձել մի փոքր ուշ։","feedback.dialog.title":"Կարծիք","feedback.dialog.uploadedMessage.existingIssue":"առկա բաց խնդիր","feedback.dialog.uploadedMessage.openIssue":"Բացել GitHub-ի խնդիրը","feedback.dialog.uploadedMessage.withThread":"Կարծիքը վերբեռնված է։ Եթե խնդիրը շարունակվում է, խնդրում ենք {openIssueLink} կամ նշել շարքի ID-ն այստեղ՝ {existingIssueLink}։","feedback.dialog.uploadedTitle":"Կարծիքը վերբեռնված է","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Հեռացնել {filename}","header.back":"Հետ","header.recentChats":"Առաջադրանքներ","header.recentTasks.seeAll":"Դիտել բոլորը ({total})","home.header.getPlus":"Ձեռք բերել Plus-ը","home.hero.letsBuild":"Եկեք սկսենք","homePage.mainContent":"Հիմնական բովանդակություն","imageAttachment.defaultName":"պատկեր","imageAttachment.preview.close":"Փակել պատկերի նախադիտումը","imageAttachment.removeAriaLabel":"Հեռացնել {filename}","implementPlanRequest.option.implement":"Այո, իրականացնել այս պլանը","implementPlanRequest.prompt":"Իրականացնե՞լ այս պլանը","inbox.archived.deleteError":"Չհաջողվեց ջնջել արխիվացված գործարկումը","inbox.archived.deleteRun":"Ջնջել արխիվացված գործարկումը","inbox.archived.deleteSuccess":"Արխիվացված շարքը ջնջվեց։ Դիտեք <settingsLink>Արխիվացված շարքերում</settingsLink>։","inbox.archived.inlineLabel.auto":"Այս շարքն ավտոմատ կերպով արխիվացվեց։ <learnMoreLink>Իմանալ ավելին</learnMoreLink>","inbox.archived.inlineLabel.manual":"Այս շարքն արխիվացվեց։","inbox.archived.noMessageFound":"Հաղորդագրություն չգտնվեց","inbox.automations.createError":"Չստացվեց ստեղծել ավտոմատացում","inbox.automations.deleteConfirm.cancel":"Չեղարկել","inbox.automations.deleteConfirm.confirm":"Ջնջել ավտոմատացումը","inbox.automations.deleteConfirm.description":"Սա ընդմիշտ կջնջի ավտոմատացումը և կկանգնեցնի ապագա բոլոր գործարկումները։","inbox.automations.deleteConfirm.title":"Ջնջե՞լ {name}-ը","inbox.automations.deleteError":"Չհաջողվեց ջնջել ավտոմատացումը","inbox.automations.editTooltip":"Խմբագրել ավտոմատացումը","inbox.automations.inProgress":"Ընթացքում է","inbox.automations.new":"Նոր","inbox.automations.newToolbar":"Նոր ավտոմատացում","inbox.automations.pauseTooltip":"Դադարեցնել ավտոմատացումը","inbox.automations.resumeTooltip":"Վերսկսել ավտոմատացումը","inbox.automations.startingNow":"Մեկնարկում է հիմա","inbox.automations.startsIn":"Սկիզբը՝ {startTime}","inbox.automations.status.active":"Ակտիվ","inbox.automations.status.paused":"Դադարեցված","inbox.automations.status.runs":"{count} գործարկում","inbox.automations.status.started":"Սկսվել է՝ {date}","inbox.automations.updateError":"Չստացվեց թարմացնել ավտոմատացումը","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Բոլորը","inbox.filter.ariaLabel":"Զտել մուտքային արկղի տարրերը","inbox.filter.unread":"Չկարդացված","inbox.list.archived":"Արխիվացված","inbox.list.inProgress":"Ընթացքում է","inbox.list.recent":"Ավարտվել է","inbox.list.upNext":"Պլանավորված","inbox.mode.automations":"Ավտոմատացումներ","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Նկարագրություն չի տրամադրվել","inbox.openThread":"Բացել շարքը","inbox.rightPanel.emptySubtitle":"Ավտոմատացրեք աշխատանքը՝ սահմանելով պլանավորված առաջադրանքներ","inbox.rightPanel.emptySubtitle.learnMore":"Ավտոմատացրեք աշխատանքը՝ սահմանելով պլանավորված շարքեր։ <link>Իմանալ ավելին</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# ակտիվ ավտոմատացում} other {# ակտիվ ավտոմատացում}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Չկարդացված ավտոմատացումներ չկան","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# չկարդացված ավտոմատացում} other {# չկարդացված ավտոմատացում}}","inbox.rightPanel.emptyTitle":"Ընտրված տարր չկա","inbox.rightPanel.noThread":"Այս մուտքային նամակը շարք չունի","inbox.rightPanel.quickStart.header":"Սկսեք ձևանմուշի միջոցով","inbox.untitled":"Չվերնագրված մուտքային","loadingPage.documentationLink":"փաստաթղթեր","loadingPage.errorDescription":"Codex-ը խափանվեց հետևյալ սխալի պատճառով.","loadingPage.errorDescription.documentation":"Սեղմեք կրկին բեռնել՝ Codex ընդլայնումը վերագործարկելու համար, կամ այցելեք մեր {documentationLink}՝ լրացուցիչ օգնության համար։","loadingPage.errorSignal":"Մի քանի բան, որոնք կարելի է փորձել.","loadingPage.errorTitle":"Սխալ առաջացավ","loadingPage.openConfigToml":"Բացել Config.toml ֆայլը","loadingPage.reload":"Կրկին բեռնել","localConversation.contextCompacted":"Համատեքստն ավտոմատ կերպով սեղմվել է","localConversation.contextCompacting":"Համատեքստն ավտոմատ կերպով սեղմվում է","localConversation.forkedFromConversation":"Պատճենվել է {threadTitle}-ից","localConversation.merge.autoResolve.failed":"Չհաջողվեց ավտոմատ լուծման հարցում ուղարկել. {error}","localConversation.merge.autoResolve.sent":"Ավտոմատ լուծման հարցումն ուղարկվեց","localConversation.merge.autoResolveMerge.missingConversation":"Անհնար է ավտոմատ լուծում իրականացնել առանց ակտիվ խոսակցության։","localConversation.merge.autoResolveMerge.request":"Ավտոմատ կերպով լուծել միավորման կոնֆլիկտները","localConversation.modelChanged":"Մոդելը փոխվել է {fromModel}-ից {toModel}-ի։","localConversation.modelChanged.warning.line1":"Խոսակցության ընթացքում մոդելի փոփոխումը կհանգեցնի արդյունավետության նվազեցմանը։","localConversation.modelChanged.warning.line2":"Համատեքստը կարող է ավտոմատ կերպով սեղմվել։","localConversation.moveThread.createBranch.label":"Ստեղծել ճյուղավորում","localConversation.moveToLocal.disabled.loading":"Բեռնվում է․․․","localConversation.moveToLocal.modal.continue":"Շարունակել","localConversation.moveToLocal.modal.destinationLabel":"Տեղափոխել","localConversation.moveToLocal.modal.retry":"Կրկին փորձել","localConversation.moveToWorktree.modal.back":"Հետ","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Ճյուղավորումն արդեն գոյություն ունի։","localConversation.moveToWorktree.modal.branchesError":"Հնարավոր չէ բեռնել branch-ները","localConversation.moveToWorktree.modal.branchesLoading":"Ճյուղավորումները բեռնվում են․․․","localConversation.moveToWorktree.modal.branchesRetry":"Կրկին փորձել","localConversation.moveToWorktree.modal.continue":"Շարունակել","localConversation.moveToWorktree.modal.retry":"Կրկին փորձել","localConversation.moveToWorktree.modal.trailingSlashError":"Ճյուղավորման անվանումը չի կարող ավարտվել «/» նշանով։","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"նոր-ճյուղավորում","localConversation.personalityChanged":"Անցում է արվել {personality} անհատականությանը","localConversation.planSummary.collapse":"Ծալել փաթեթի ամփոփագիրը","localConversation.planSummary.collapseTooltip":"Ծալել","localConversation.planSummary.download":"Ներբեռնել փաթեթը","localConversation.planSummary.expand":"Ընդլայնել փաթեթի ամփոփագիրը","localConversation.planSummary.expandTooltip":"Ծավալել","localConversation.planSummary.openInNewWindow":"Բացել","localConversation.planSummary.openInNewWindow.tooltip":"Բացել նոր պատուհանում","localConversation.planSummary.title":"Փաթեթ","localConversation.planSummary.titleWriting":"Գրելու պլան","localConversation.planSummary.viewPlan":"Ընդլայնել փաթեթը","localConversation.remoteTaskCreated":"Ստեղծեց {taskLink} Codex Cloud-ում","localConversation.remoteTaskCreated.task":"առաջադրանք","localConversation.scrollToBottomButton":"Ոլորել դեպի վար","localConversation.sync.buttonLabel":"Փոխանցել տեղայինին","localConversation.sync.buttonLabel.tooltip":"Փոխանցեք փոփոխությունները այս worktree-ի և ձեր տեղական checkout-ի միջև։","localConversation.sync.modal.loading.title":"Փոփոխությունները փոխանցվում են…","localConversation.sync.modal.noChanges":"Փոփոխություններ չկան","localConversation.syncSetup.branchAriaLabel":"Ճյուղավորման անվանում","localConversation.syncSetup.branchName":"Ճյուղավորման անվանում","localConversation.syncSetup.branchPlaceholder.existing":"Ընտրեք առկա ճյուղավորում","localConversation.syncSetup.branchPlaceholder.new":"codex/նոր-գործառույթ","localConversation.syncSetup.branchesLoading":"Ճյուղավորումները բեռնվում են․․․","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Արդեն դուրս է եկել","localConversation.syncSetup.checkoutClean":"Այս պահին {branchName}","localConversation.syncSetup.checkoutDirty":"Այս պահին {branchName}՝ չհաստատված փոփոխություններով","localConversation.syncSetup.checkoutError":"Չհաջողվեց ստուգել ճյուղավորումը՝ {message}","localConversation.syncSetup.checkoutLabel":"Ստուգել տեղային մակարդակում հիմա","localConversation.syncSetup.checkoutOnLocal":"Փոխանցել տեղայինին","localConversation.syncSetup.checkoutPending":"Տեղային կարգավիճակը ստուգվում է …","localConversation.syncSetup.checkoutUnavailable":"Տեղային աշխատատարածքը հասանելի չէ","localConversation.syncSetup.checkoutUnknown":"Տեղային ճյուղավորումը հասանելի չէ","localConversation.syncSetup.continue":"Շարունակել","localConversation.syncSetup.createBranchError":"Չհաջողվեց սահմանել փոխանցման ճյուղը՝ {message}","localConversation.syncSetup.error":"Սխալ առաջացավ. {message}","localConversation.syncSetup.error.workingTreeMissing":"Չհաջողվեց ստեղծել worktree-ի կադրը։ Խնդրում ենք կրկին փորձել փոխանցումը։","localConversation.syncSetup.mode.ariaLabel":"Ընտրել ճյուղավորման ռեժիմը","localConversation.syncSetup.mode.existing":"Առկա ճյուղավորում","localConversation.syncSetup.mode.new":"Նոր ճյուղավորում","localConversation.syncSetup.noBranches":"Ճյուղավորումներ չեն գտնվել","localConversation.syncSetup.overwriteError":"Ճյուղավորումը ստեղծվել է, բայց ամբողջությամբ չի փոխանցվել։ Ձեռքով փոխանցեք նախքան տեղայինում ստուգելը։","localConversation.syncSetup.setPrefix":"Սահմանել նախածանց","localConversation.syncSetup.subtitle":"Փորձարկեք և խմբագրեք worktree-ի փոփոխությունները տեղային միջավայրում։ <a>Իմանալ ավելին</a>","localConversation.syncSetup.success.checkedOut":"Ճյուղավորումը ստեղծվել և ստուգվել է տեղային միջավայրում","localConversation.syncSetup.success.notCheckedOut":"Ճյուղավորումը ստեղծվեց","localConversation.syncSetup.title":"Փոխանցեք տեղային ճյուղավորմանը","localConversation.syncWorktreeError.branchAriaLabel":"Ճյուղավորման անվանում","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/նոր-գործառույթ","localConversation.syncWorktreeError.branchSetup.subtitle":"Ընտրեք ճյուղավորում՝ փոխանցումը կատարելու համար, ապա կրկին փորձեք բեռնել փոփոխությունները։","localConversation.syncWorktreeError.branchSetup.title":"Թարմացնել branch-ը","localConversation.syncWorktreeError.branchUpdate.cta":"Արդիացնել և կրկին փորձել","localConversation.syncWorktreeError.branchUpdate.error":"Չհաջողվեց թարմացնել ճյուղավորումը. {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Սխալ առաջացավ. {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Ճյուղավորումը ստուգված չէ որևէ worktree-ում։","localConversation.syncWorktreeV2.applyUncommitted":"Կիրառել","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Պետք է ստուգեք ճյուղավորումը տեղային միջավայրում՝ չհաստատված փոփոխությունները կիրառելու համար։","localConversation.syncWorktreeV2.branches.empty":"Ճյուղավորումներ չեն գտնվել","localConversation.syncWorktreeV2.branches.loading":"Ճյուղավորումները բեռնվում են․․․","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Փոխել փոխանցման ճյուղավորումը","localConversation.syncWorktreeV2.changeBranch.error":"Չհաջողվեց փոխել փոխանցման ճյուղը. {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Չհաջողվեց կիրառել","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Worktree-ի վրագրումը ձախողվեց","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Տեղայինի վրագրումը ձախողվեց","localConversation.syncWorktreeV2.commandError.back":"Հետ","localConversation.syncWorktreeV2.commandError.body":"Git հրամանը ձախողվեց փոխանցման ընթացքում։ Ստուգեք արտածումը և կրկին փորձեք։","localConversation.syncWorktreeV2.commandError.retry":"Նորից փորձել","localConversation.syncWorktreeV2.description":"Փոխանցել փոփոխությունները տեղայինի և այս worktree-ի միջև։ <a>Իմանալ ավելին</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"Ընտրել փոխանցման ուղղությունը","localConversation.syncWorktreeV2.error.generic":"Փոխանցելիս սխալ առաջացավ։ Կրկին փորձեք։","localConversation.syncWorktreeV2.localBranchLabel":"Տեղային","localConversation.syncWorktreeV2.noChanges":"Փոփոխությունները հաշվարկվում են","localConversation.syncWorktreeV2.noChanges.summary":"Փոփոխություններ չկան","localConversation.syncWorktreeV2.overwrite.local":"Վրագրել տեղային փոփոխությունները","localConversation.syncWorktreeV2.overwrite.worktree":"Վրագրել worktree-ն","localConversation.syncWorktreeV2.partial.action.applyFailed":"Չհաջողվեց կիրառել փոփոխությունները","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Չհաջողվեց վրագրել տեղային փոփոխությունները","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Չհաջողվեց վրագրել worktree-ի փոփոխությունները","localConversation.syncWorktreeV2.partial.appliedLabel":"Կիրառվել է","localConversation.syncWorktreeV2.partial.back":"Հետ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Լուծեք կոնֆլիկտները և կրկին փորձեք։","localConversation.syncWorktreeV2.partial.conflictsLabel":"Կոնֆլիկտներ","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ֆայլ} other {# ֆայլ}}","localConversation.syncWorktreeV2.partial.retry":"Նորից փորձել","localConversation.syncWorktreeV2.partial.skippedLabel":"Բաց է թողնվել","localConversation.syncWorktreeV2.stateFailed.generic":"Սխալ առաջացավ փոխանցման համար worktree-ի փոփոխությունները առբերելիս։ Խնդրում ենք կրկին փորձել։","localConversation.syncWorktreeV2.stateFailed.title":"Չհաջողվեց բեռնել worktree-ի փոփոխությունները","localConversation.syncWorktreeV2.statusError.diffUnknown":"Չհաջողվեց բեռնել worktree-ի փոփոխությունները։","localConversation.syncWorktreeV2.statusError.retry":"Նորից փորձել","localConversation.syncWorktreeV2.statusError.title":"Չհաջողվեց բեռնել տեղային ճյուղավորման փոփոխությունները","localConversation.syncWorktreeV2.statusError.unknown":"Ճյուղավորման կարգավիճակն այս պահին հասանելի չէ։ Կրկին փորձեք։","localConversation.syncWorktreeV2.success.apply":"Փոփոխությունները կիրառվեցին","localConversation.syncWorktreeV2.success.overwrite":"Փոխանցումը հաջողվեց","localConversation.syncWorktreeV2.title":"Փոխանցեք փոփոխությունները","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Տրվում է {count, plural, one {հարց} other {հարց}}","localConversation.userInputRequest.noAnswer":"Պատասխաններ չեն տրամադրվել","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Տրվեց","localConversation.userInputRequest.summary.count":"{count, plural, one {# հարց} other {# հարց}}","localConversation.workedFor":"Աշխատեց {time}","localConversation.worktreeBranchSetup.action.create":"Ստեղծել","localConversation.worktreeBranchSetup.branchAriaLabel":"Ճյուղավորման անվանում","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Ստեղծել նոր branch","localConversation.worktreeBranchSetup.checkoutDisabled":"Այս ճյուղավորումն արդեն դուրս է եկել այստեղ՝ {location}","localConversation.worktreeBranchSetup.checkoutError":"Չհաջողվեց ստուգել ճյուղավորումը. {message}","localConversation.worktreeBranchSetup.createBranchError":"Չհաջողվեց սահմանել ճյուղավորումը. {message}","localConversation.worktreeBranchSetup.error":"Սխալ առաջացավ. {message}","localConversation.worktreeBranchSetup.subtitle":"Ստեղծեք ճյուղավորում՝ այս worktree-ից փոփոխությունները հաստատելու, push-ը կատարելու և PR ստեղծելու համար։ <a>Իմանալ ավելին</a>։","localConversation.worktreeBranchSetup.title":"Աշխատեք այստեղ","localConversationPage.addWorktreeToSidebar.tooltip":"Պահպանեք որպես նախագիծ, որպեսզի կարողանաք նոր շարք սկսել այս worktree-ից","localConversationPage.addWorktreeToSidebarError":"Չհաջողվեց ավելացնել նախագիծը","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit-ը և PR-ի ստեղծումը ձախողվեցին","localConversationPage.commitAndCreatePrModal.successTitle":"Commit-ը և PR-ը ստեղծվեցին","localConversationPage.commitAndPushModal.errorTitle":"Commit-ը և push-ը ձախողվեցին","localConversationPage.commitAndPushModal.successTitle":"Փոփոխությունների commit-ը և push-ը կատարվեցին","localConversationPage.commitCreatePr.open":"Բացել Pull հարցումը","localConversationPage.commitCreatePr.successTitle":"Ձեր վերջին փոփոխություններով ստեղծվել է PR","localConversationPage.createBranchButtonLabel":"Ճյուղավորել այստեղ","localConversationPage.createPrModal.baseBranch":"Հիմք","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Ստեղծել PR","localConversationPage.createPrModal.createDescription":"Ձեր վերջին փոփոխությունների համար բացեք pull հարցում։","localConversationPage.createPrModal.errorTitle":"Pull հարցումը ձախողվեց","localConversationPage.createPrModal.headBranch":"Հիմնական ճյուղ","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Բացել PR-ը","localConversationPage.createPrModal.successTitle":"Pull հարցումը ստեղծվեց","localConversationPage.createPrModal.title":"Ստեղծեք pull հարցում","localConversationPage.createPrModal.viewDescription":"Այս ճյուղի համար արդեն գոյություն ունի pull հարցում։","localConversationPage.createPrModal.viewTitle":"Pull հարցումը պատրաստ է","localConversationPage.createPullRequestAuthGh":"Իսկորոշել GitHub CLI-ը. գործարկել «gh auth login» հրամանը","localConversationPage.createPullRequestBranchMissing":"Ճյուղավորման տվյալները հասանելի չեն","localConversationPage.createPullRequestButtonLabel":"Ստեղծել PR","localConversationPage.createPullRequestButtonLabel.loading":"PR-ը ստեղծվում է․․․","localConversationPage.createPullRequestDefaultBranchMissing":"Կանխադրված ճյուղավորման տվյալները հասանելի չեն","localConversationPage.createPullRequestError":"Չհաջողվեց ստեղծել pull հարցում","localConversationPage.createPullRequestExistingPullRequest":"Այս ճյուղի համար արդեն գոյություն ունի pull հարցում։","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI կարգավիճակը բեռնվում է...","localConversationPage.createPullRequestInstallGh":"Տեղադրել GitHub CLI-ը (gh)՝ PR-ներ ստեղծելու համար","localConversationPage.createPullRequestNoRepo":"Git պահոց չի գտնվել","localConversationPage.createPullRequestPushStatusMissing":"Push կարգավիճակը բեռնվում է...","localConversationPage.createPullRequestSetUpstream":"Հաստատեք այս ճյուղավորումը նախքան PR ստեղծելը","localConversationPage.createPullRequestSuccessToast":"Pull հարցումը ստեղծվեց","localConversationPage.createPullRequestSwitchBranch":"Ստուգեք գործառույթի ճյուղավորումը նախքան PR ստեղծելը","localConversationPage.error.render":"Տեղային խոսակցությունը արտապատկերելիս սխալ առաջացավ","localConversationPage.error.toast":"Խոսակցությունը չի գտնվել","localConversationPage.forcePushError":"Push-ը հարկադրաբար կատարել չհաջողվեց","localConversationPage.generatePullRequestMessageError":"Չհաջողվեց գեներացնել pull հարցման վերնագիրը և մարմինը","localConversationPage.generatePullRequestMessageFailed":"Չհաջողվեց գեներացնել pull հարցման վերնագիրը և մարմինը։","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Չեղարկել","localConversationPage.gitActionResult.close":"Փակել","localConversationPage.gitActionResult.tryAgain":"Նորից փորձել","localConversationPage.gitActions":"Git գործողություններ","localConversationPage.newChat":"Նոր զրույց","localConversationPage.openInTarget":"Բացել հետևյալ ծրագրով՝","localConversationPage.openPrimaryTarget":"Բացել","localConversationPage.planItemsCompleted":"{completedItems}/{totalItems, plural, one {# առաջադրանք ավարտված է} other {# առաջադրանք ավարտված է}}","localConversationPage.pushAuthError":"Push-ը ձախողվեց. պահանջվում է իսկորոշում","localConversationPage.pushBranchMissing":"Ճյուղավորման տվյալները հասանելի չեն","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Գործարկվում է․․․","localConversationPage.pushError":"Չհաջողվեց ուղարկել փոփոխությունները","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Չեղարկել","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Ձեր վերջին commit-ներն ուղարկեք հեռակա պահոց։","localConversationPage.pushModal.errorTitle":"Push-ը ձախողվեց","localConversationPage.pushModal.forcePush":"Հարկադրաբար կատարել push-ը","localConversationPage.pushModal.successTitle":"Push-ն ավարտված է","localConversationPage.pushModal.title":"Push-ի փոփոխություններ","localConversationPage.pushModal.tryAgain":"Նորից փորձել","localConversationPage.pushNoUpstream":"Այս ճյուղավորումը հաստատելուց առաջ սահմանեք upstream-ը","localConversationPage.pushNoUpstreamError":"Push-ը ձախողվեց. կազմաձևված upstream չի գտնվել","localConversationPage.pushNothingToPush":"Push-ի ենթակա նոր commit-ներ չկան","localConversationPage.pushRemoteChangedError":"Push-ը ձախողվեց. remote-ն ունի նոր commit-ներ","localConversationPage.pushRemoteRejectedError":"Push-ը մերժվել է remote-ի կողմից","localConversationPage.pushStatusMissing":"Push կարգավիճակը բեռնվում է...","localConversationPage.pushSuccessToast":"Փոփոխություններն ուղարկված են","localConversationPage.viewPullRequestButtonLabel":"Դիտել PR-ը","localConversationPage.viewPullRequestButtonLabel.loading":"Pull հարցումը բեռնվում է","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ֆայլ} other {# ֆայլ}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# ցանկ} other {# ցանկ}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# որոնում} other {# որոնում}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Հետազոտումն ընթացքում է","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Հետազոտումն ավարտվեց","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} հետազոտումն ավարտվեց","localConversationTurnStory.showContent":"Ցուցադրել բովանդակությունը","localConversationTurnStory.streamContent":"Նվագարկման բովանդակություն","localConversationTurnStory.toggleReasoning":"Ցուցադրել տրամաբանումը","localTaskRow.archiveError":"Չհաջողվեց արխիվացնել խոսակցությունը","localTaskRow.resumeError":"Չհաջողվեց վերսկսել առաջադրանքը","mermaidDiagram.ariaLabel":"Mermaid դիագրամ","mermaidDiagram.copySource":"Պատճենել mermaid-ը","mermaidDiagram.originalCode":"Mermaid ելակետային կոդ","notifications.permissions.description":"Ցուցադրել ծանուցումները, երբ անհրաժեշտ են ծանուցման թույլտվություններ","notifications.permissions.label":"Միացնել թույլտվությունների ծանուցումները","notifications.turnMode.always":"Միշտ","notifications.turnMode.description":"Սահմանեք, թե Codex-ը երբ տեղեկացնի ավարտի մասին","notifications.turnMode.label":"Միացնել ավարտի վերաբերյալ ծանուցումները","notifications.turnMode.off":"Երբեք","notifications.turnMode.unfocused":"Միայն ակտիվ չլինելու դեպքում","patchApprovalRequest.approve":"Հաստատել","patchApprovalRequest.menu.allowAlways":"Այո, և այս աշխատաշրջանի ընթացքում այլևս պետք չէ հարցնել","patchApprovalRequest.menu.allowForSession":"Այո, և այս աշխատաշրջանի ընթացքում այլևս պետք չէ հարցնել","patchApprovalRequest.menu.allowOnce":"Այո","patchApprovalRequest.prompt":"Ուզո՞ւմ եք կատարել այս փոփոխությունները","patchApprovalRequest.reject":"Ոչ","patchApprovalRequest.waitingForApproval":"Ֆայլերը խմբագրելու համար սպասում է հաստատման","pendingRequest.approvalExec.collapse":"Ծալել","pendingRequest.approvalExec.expand":"Ծավալել","pendingRequestStory.toastAnswer":"Պատասխանել՝ {answer}","pendingRequestStory.toastApprovalTitle":"Հաստատման պատասխան","pendingRequestStory.toastFollowupPrompt":"Հարցում՝ {prompt}","pendingRequestStory.toastFollowupTitle":"Հետադարձ հաղորդագրությունն ուղարկվեց","pendingRequestStory.toastNoAnswers":"Պատասխաններ չեն տրամադրվել","pendingRequestStory.toastQuestion":"Հարց՝ {question}","pendingRequestStory.toastUnknownDecision":"Անհայտ","pendingRequestStory.toastUserInputTitle":"Ուղարկված պատասխաններ","quickAction.request.codeReview.branches.new":"Խնդրում եմ, ստուգիր {from}-ի փոփոխությունները {to}-ի նկատմամբ","quickAction.request.codeReview.uncommitted.new":"Խնդրում եմ, ստուգիր իմ չհաստատված փոփոխությունները","reasoningItem.thinking":"Մտածում է","reasoningItem.thought":"Ավարտեց մտածելը","reasoningItem.thoughtWithElapsed":"Մտածել է {elapsed}","recentConversations.title":"Թարմ խոսակցություններ","recentTasks.worktreeInitFailedTitle":"Worktree-ի սկզբնավորումը ձախողվեց","recentTasks.worktreeSettingUpTitle":"Կարգավորում է worktree-ն","requestInputPanel.continue":"Շարունակել","requestInputPanel.dismiss":"Փակել","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Մուտքագրեք այստեղ","requestInputPanel.optionIndex":"{index}։","requestInputPanel.otherPlaceholder":"Ոչ, և ասացեք Codex-ին, թե ինչն անի այլ կերպ","requestInputPanel.selectedBadge":"Ընտրված","requestInputPanel.skip":"Բաց թողնել","requestInputPanel.submit":"Ուղարկել","review.commit.ariaLabel.includeUnstaged":"Ներառել չնախապատրաստվածները","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Գործարկվում է...","review.commit.disabled.loadingDiff":"Diff-երը բեռնվում են…","review.commit.disabled.missingContext":"Ավելացնել որոշակի համատեքստ՝ commit հաղորդագրություն գեներացնելու համար","review.commit.disabled.noChanges":"Commit-ում փոփոխություններ չկան","review.commit.disabled.noSelection":"Ընտրել commit-ի փոփոխությունները","review.commit.disabled.unavailable":"Commit-ն այս պահին հասանելի չէ","review.commit.error":"Չհաջողվեց հաստատել փոփոխությունները","review.commit.form.changesToBeCommitted":"Փոփոխություններ","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Շարունակել","review.commit.form.title":"Գործարկեք ձեր փոփոխությունները","review.commit.generate.emptyResponse":"Չհաջողվեց գեներացնել Commit հաղորդագրություն։","review.commit.generate.failed":"Չհաջողվեց գեներացնել Commit հաղորդագրություն. {error}","review.commit.generate.missingPrompt":"Ավելացնել որոշակի համատեքստ՝ commit հաղորդագրություն գեներացնելու համար։","review.commit.includeUnstaged":"Ներառել չնախապատրաստվածները","review.commit.loading.description":"Խնդրում ենք մի փոքր սպասել, սա կարող է մի քանի րոպե տևել․․․","review.commit.loading.step.commit.done":"Գործարկված փոփոխություններ","review.commit.loading.step.commit.pending":"Կատարվում են փոփոխություններ","review.commit.loading.step.createPr.done":"Pull հարցումը ստեղծվեց","review.commit.loading.step.createPr.pending":"Ստեղծվում է pull հարցում","review.commit.loading.step.push.done":"Ուղարկվեց {branch} ճյուղին","review.commit.loading.step.push.pending":"Ուղարկվում է {branch} ճյուղին","review.commit.loading.title.commit":"Կատարվում են փոփոխություններ","review.commit.loading.title.createPr":"Ստեղծվում է PR","review.commit.loading.title.push":"Փոփոխություններն ուղարկվում են","review.commit.messageLabel":"Commit հաղորդագրություն","review.commit.messagePlaceholder":"Թողեք դատարկ՝ commit հաղորդագրությունն ավտոմատ գեներացնելու համար","review.commit.nextSteps":"Հաջորդ քայլերը","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Գործարկել և ստեղծել PR","review.commit.nextSteps.commitAndPush":"Իրականացնել commit և push","review.commit.nextSteps.prRequiresGh":"Պահանջում է GitHub CLI՝ {command}","review.commit.rows.changes":"Փոփոխություններ","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# commit}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# commit}} և {stats}","review.commit.rows.fileCount":"{count, plural, one {# ֆայլ} other {# ֆայլ}}","review.commit.state.error.body":"Ինչ-որ խնդիր տեղի ունեցավ գործարկելիս։ Ստուգեք ձեր git status-ը և կրկին փորձեք։","review.commit.state.error.title":"Գործարկումը չհաջողվեց","review.commit.state.success.title":"Փոփոխությունները գործարկվեցին","review.commit.untracked.loadingStats":"Բեռնվում են չհետևված diff-երի վիճակագրությունները…","reviewFindingAttachments.count":"{count, plural, one {# արդյունք} other {# արդյունք}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Խմբագրեք ձեր կազմաձևումը՝ ագենտի վարքագիծը հարմարեցնելու համար","settings.agent.configuration.configToml.docs":"Փաստաթղթեր","settings.agent.configuration.subtitle":"Այս կարգավորումները կիրառելի են ամենուրեք, որտեղ Codex-ն օգտագործվում է","settings.automations.banner.danger":"Ավտոմատացումներն աշխատում են ձեր պաշտպանված միջավայրի կանխադրված կարգավորումներով, որոնց համար ներկայումս սահմանված է լիարժեք հասանելիություն։ Հետին պլանում աշխատող ավտոմատացումների գործարկումը լիարժեք հասանելիությամբ պարունակում է բարձր ռիսկեր, քանի որ Codex-ը կարող է առանց հարցնելու փոփոխել ֆայլերը, գործարկել հրամաններ և մուտք գործել ցանց։ Կարող եք պաշտպանված միջավայրի կարգավորումներում ընտրել աշխատատարածքում գրելու տարբերակը և օգտագործել <rulesDocsLink>կանոններ</rulesDocsLink>՝ ընտրողաբար սահմանելու համար, թե որ հրամանները ագենտը կարող է գործարկել լիարժեք հասանելիությամբ։","settings.automations.banner.defaultHowTo.default":"Ավտոմատացումները գործում են ձեր պաշտպանված միջավայրի կանխադրված կարգավորումներով։ Գործիքների ակտիվացումը կձախողվի, եթե պահանջվի աշխատատարածքից դուրս ֆայլերի փոփոխում, ցանցի հասանելիություն կամ աշխատանք ձեր համակարգչի հավելվածների հետ։ Դուք կարող եք ընտրողաբար թույլատրել հրամանների գործարկումը պաշտպանված միջավայրից դուրս՝ օգտագործելով <rulesDocsLink>կանոններ</rulesDocsLink>։","settings.automations.banner.defaultHowTo.readOnly":"Ավտոմատացումներն աշխատում են ձեր պաշտպանված միջավայրի կանխադրված կարգավորումներով, որոնք սահմանված են միայն կարդալու համար։ Գործիքների ակտիվացումը կձախողվի, եթե պահանջվի աշխատատարածքից դուրս ֆայլերի փոփոխում, ցանցի հասանելիություն կամ աշխատանք ձեր համակարգչի հավելվածների հետ։ Կարող եք պաշտպանված միջավայրի կարգավորումներում ընտրել աշխատատարածքում գրելու տարբերակը։","settings.automations.cancel":"Չեղարկել","settings.automations.create":"Ստեղծել","settings.automations.cwdEmpty":"Նախագծի հասանելի պանակներ չկան","settings.automations.cwdLabel":"Նախագծեր","settings.automations.cwdPlaceholder":"Ընտրեք պանակ","settings.automations.cwdSubtitle":"Եթե ցանկանում եք, որ ավտոմատացումն աշխատի կոնկրետ ճյուղավորման դեպքում, նշեք դա ձեր հարցման մեջ։","settings.automations.delete":"Ջնջել","settings.automations.dialog.editTitle":"Խմբագրել ավտոմատացումը","settings.automations.dialog.newTitle":"Նոր ավտոմատացում","settings.automations.dialog.subtitle":"Ավտոմատացրեք հետին պլանում կրկնվող առաջադրանքները։ Codex-ն ավելացնում է արդյունքները փոստում կամ ավտոմատ կերպով արխիվացնում է առաջադրանքը, եթե հաղորդելու ոչինչ չկա։ <learnMoreLink>Իմանալ ավելին</learnMoreLink>","settings.automations.dialog.title":"Ստեղծել ավտոմատացում","settings.automations.executionCopy.git":"Ավտոմատացումներն աշխատում են հետին պլանում՝ հատուկ worktree-ներում։","settings.automations.executionCopy.nonGit":"Առանց տարբերակների հսկման նախագծերում ավտոմատացումները գործարկվում են անմիջապես նախագծի պանակում։ Դիտարկեք Git-ի օգտագործումը՝ հետին պլանի worktree-ներում գործարկումը միացնելու համար։","settings.automations.executionEnvironment.local":"Տեղային","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Բեռնվում է․․․","settings.automations.nameLabel":"Անվանում","settings.automations.namePlaceholder":"Ստուգեք Sentry-ի խնդիրները","settings.automations.pause":"Դադարեցնել","settings.automations.promptLabel":"Հարցում","settings.automations.promptPlaceholder":"փնտրեք խափանումներ $Sentry-ում","settings.automations.resume":"Վերսկսել","settings.automations.rruleSummaryFallback":"Անհատական ժամանակացույց","settings.automations.runNow":"Փորձարկել","settings.automations.save":"Պահել","settings.automations.scheduleBadge.dayCount":"{count} օր","settings.automations.scheduleBadge.interval":"{count} ժ","settings.automations.scheduleBadge.weekdays":"Աշխատանքային օրեր","settings.automations.scheduleBadge.weekends":"Ոչ աշխատանքային օրեր","settings.automations.scheduleHeader":"Ժամանակացույց","settings.automations.scheduleHours":"ժամ","settings.automations.scheduleLabel":"Գործարկել ամեն","settings.automations.scheduleMode.daily":"Ամեն օր","settings.automations.scheduleMode.interval":"Պարբերականություն","settings.automations.scheduleModeLabel":"Ժամանակացույցի տեսակ","settings.automations.scheduleSummary.daily":"Ամեն օր, {time}","settings.automations.scheduleSummary.interval":"Ամեն {count} ժամը մեկ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# օր} other {# օր}}","settings.automations.scheduleSummary.intervalDays":"{interval}, {days}","settings.automations.scheduleSummary.intervalHourly":"Ժամային","settings.automations.scheduleSummary.singleDay":"{day}, {time}","settings.automations.scheduleSummary.weekdays":"Աշխատանքային օրերին՝ {time}","settings.automations.scheduleSummary.weekdaysLabel":"աշխատանքային օրերին","settings.automations.scheduleSummary.weekends":"Ոչ աշխատանքային օրերին՝ {time}","settings.automations.scheduleSummary.weekendsLabel":"ոչ աշխատանքային օրերին","settings.automations.scheduleSummary.weekly":"{days}, {time}","settings.automations.scheduleWeekdays":"Միացված է","settings.automations.weekdayState.excluded":"Չներառված","settings.automations.weekdayState.included":"Ներառված","settings.conversationDetail.steps":"Քայլեր","settings.conversationDetail.steps.description":"Թաքցնել հրամանները և արտածումները","settings.conversationDetail.stepsWithCommands":"Քայլեր՝ կոդային հրամաններով","settings.conversationDetail.stepsWithCommands.description":"Ցուցադրել հրամանները, ծալել արտածումը","settings.conversationDetail.stepsWithOutput":"Քայլեր՝ կոդի արտածմամբ","settings.conversationDetail.stepsWithOutput.description":"Ցուցադրել հրամանները և ընդլայնել արտածումը","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Արխիվացված զրույցներ չկան։","settings.dataControls.archivedChats.error":"Արխիվացված զրույցները բեռնել չհաջողվեց։","settings.dataControls.archivedChats.loading":"Արխիվացված զրույցները բեռնվում են․․․","settings.dataControls.archivedChats.unarchive":"Ապարխիվացնել","settings.dataControls.archivedChats.unarchiveError":"Զրույցը չհաջողվեց հանել արխիվից","settings.dataControls.archivedChats.unarchiveSuccess":"Ապաարխիվացված շարք։ <viewNowLink>Դիտել հիմա</viewNowLink>","settings.dataControls.archivedChats.untitled":"Անվերնագիր զրույց","settings.editRow.headerPlaceholder":"Բանալի","settings.editRow.removeEntry":"Հեռացնել մուտքագրված տվյալը","settings.editRow.valuePlaceholder":"Արժեք","settings.general.appearance":"Տեսքը","settings.general.appearance.codeFont":"Կոդի տառատեսակ","settings.general.appearance.codeFont.description":"Կարգավորեք զրույցներում և diff-երում կոդի համար օգտագործվող տառատեսակը և չափը","settings.general.appearance.codeFontFamily":"Կոդի տառատեսակի ընտանիք","settings.general.appearance.codeFontSize":"Կոդի տառատեսակի չափ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Պատուհանները կարգավորել այնպես, որ օգտագործեն ոչ թափանցիկ ֆոն՝ համակարգի կիսաթափանցիկության փոխարեն","settings.general.appearance.opaqueWindows.label":"Օգտագործել անթափանց պատուհանի ֆոն","settings.general.appearance.sansFontFamily":"Sans տառատեսակի ընտանիք","settings.general.appearance.sansFontFamily.description":"Կարգավորել Codex UI-ի համար օգտագործվող տառատեսակը","settings.general.appearance.sansFontSize":"Sans տառատեսակի չափս","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Ցուցադրել տոնական էֆեկտները ամբողջ պատուհանով մեկ, երբ GPT-5.3-Codex-Spark շղթան կատարում է առաջին շրջադարձը","settings.general.appearance.sparkCelebrationEffects.label":"Փայլուն տոնական էֆեկտներ","settings.general.appearance.theme":"Թեմա","settings.general.appearance.theme.dark":"Մուգ","settings.general.appearance.theme.description":"Օգտագործեք լուսավոր կամ մութ թեման կամ համապատասխանեցրեք ձեր համակարգին","settings.general.appearance.theme.light":"Բաց","settings.general.appearance.theme.system":"Համակարգ","settings.general.appearance.usePointerCursors.description":"Փոխել cursor-ը pointer-ի, երբ այն գտնվում է ինտերակտիվ տարրերի վրա","settings.general.appearance.usePointerCursors.label":"Օգտագործել pointer cursors","settings.general.enterBehavior.description":"Միացված լինելու դեպքում բազմատողային հարցումներն ուղարկելու համար անհրաժեշտ է սեղմել {modifierSymbol} + enter։","settings.general.enterBehavior.label":"Պահանջել {modifierSymbol} + enter՝ երկար հարցումներ ուղարկելու համար","settings.general.experimentalFeatures":"Փորձնական գործառույթներ (Բետա)","settings.general.experimentalFeatures.empty":"Որևէ բետա փորձնական գործառույթ հասանելի չէ։","settings.general.experimentalFeatures.loading":"Փորձնական գործառույթները բեռնվում են...","settings.general.experimentalFeatures.restartNote":"Վերագործարկեք Codex-ը՝ փորձնական գործառույթների փոփոխությունները կիրառելու համար","settings.general.experimentalFeatures.toggle":"{featureName}․ միացնել/անջատել","settings.general.followUpQueueMode.description":"Սպասման ցուցակի հետագա փորձարկումներ, մինչ Codex-ը աշխատում է կամ ընդհատում է ընթացիկ աշխատանքը","settings.general.followUpQueueMode.interrupt":"Ուղղորդել","settings.general.followUpQueueMode.label":"Հետագա փորձարկումների վարքագիծ","settings.general.followUpQueueMode.queue":"Սպասման ցուցակ","settings.general.notifications":"Ծանուցումներ","settings.general.power.preventSleepWhileRunning.description":"Արթուն պահեք ձեր համակարգիչը, մինչ Codex-ը գործարկում է շղթան։","settings.general.power.preventSleepWhileRunning.label":"Թույլ մի տվեք, որ համակարգիչը քնի գործարկման ընթացքում","settings.git.branchPrefix.ariaLabel":"Branch-ի նախածանց","settings.git.branchPrefix.description":"Նախածանց, որն օգտագործվում է Codex-ում նոր branch-ներ ստեղծելիս","settings.git.branchPrefix.label":"Branch-ի նախածանց","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Չհաջողվեց պահել branch-ի նախածանցը","settings.git.branchPrefix.save.success":"Branch-ի պահված նախածանց","settings.git.commitInstructions.ariaLabel":"Commit հրահանգներ","settings.git.commitInstructions.description":"Ավելացվել է commit հաղորդագրությունների գեներացման հարցումներին","settings.git.commitInstructions.label":"Commit հրահանգներ","settings.git.commitInstructions.placeholder":"Ավելացրեք commit հաղորդագրության ուղեցույց…","settings.git.commitInstructions.save":"Պահել","settings.git.commitInstructions.save.error":"Commit հրահանգները պահել չհաջողվեց","settings.git.commitInstructions.save.success":"Պահված commit հրահանգներ","settings.git.forcePush.ariaLabel":"Push-ը միշտ կատարել հարկադրաբար","settings.git.forcePush.description":"Codex-ից ուղարկելիս օգտագործեք --force-with-lease հրամանը","settings.git.forcePush.label":"Push-ը միշտ կատարել հարկադրաբար","settings.git.forcePush.save.disabled":"Push-ը միշտ հարկադրաբար կատարելու գործառույթն անջատված է","settings.git.forcePush.save.enabled":"Push-ը միշտ հարկադրաբար կատարելու գործառույթը միացված է","settings.git.forcePush.save.error":"Push-ը հարկադրաբար կատարելու կարգավորումը չհաջողվեց պահել","settings.git.prInstructions.ariaLabel":"Pull հարցման հրահանգներ","settings.git.prInstructions.description":"Կցվել է Codex-ի կողմից ստեղծված pull հարցումների մարմիններին","settings.git.prInstructions.label":"Pull հարցման հրահանգներ","settings.git.prInstructions.placeholder":"Ավելացնել pull հարցման ուղեցույց…","settings.git.prInstructions.save":"Պահել","settings.git.prInstructions.save.error":"Չհաջողվեց պահել pull հարցման հրահանգները","settings.git.prInstructions.save.success":"Pull հարցման հրահանգները պահվեցին","settings.ide.defaultOpenTarget.description":"Երբ ֆայլերն ու պանակները բացվում են ըստ կանխադրման","settings.ide.defaultOpenTarget.label":"Բաց ուղղություն՝ ըստ կանխադրման","settings.ide.defaultOpenTarget.placeholder":"Նպատակակետեր չեն գտնվել","settings.ide.language.auto":"Ավտոմատ հայտնաբերել","settings.ide.language.autoOption":"Ավտոմատ հայտնաբերել","settings.ide.language.description":"Հավելվածի UI-ի լեզու","settings.ide.language.label":"Լեզու","settings.ide.language.search":"Որոնեք լեզուներ","settings.layout.actionButton":"Վերագործարկել ընդլայնումը","settings.layout.actionTitle":"Գործողություն ենթադրող կարգավորումներ","settings.layout.fullWidthTitle":"Կարգավորումներ (Լրիվ լայնությամբ)","settings.layout.title":"Կարգավորումներ","settings.localEnvironments.actions.add":"Ավելացնել գործողություն","settings.localEnvironments.actions.add.description":"Ստեղծել նոր հրաման՝ գործիքագոտուց գործարկելու համար։","settings.localEnvironments.actions.add.save":"Պահել","settings.localEnvironments.actions.empty":"Ավելացրեք գործողություն՝ տեղային գործիքագոտուց հրամաններ կատարելու համար։","settings.localEnvironments.actions.icon.debug":"Վրիպազերծել","settings.localEnvironments.actions.icon.run":"Գործարկել","settings.localEnvironments.actions.icon.test":"Փորձարկել","settings.localEnvironments.actions.icon.tool":"Գործիք","settings.localEnvironments.actions.item.button.delete":"Ջնջել","settings.localEnvironments.actions.item.command":"Գործողության սկրիպտ","settings.localEnvironments.actions.item.name":"Անվանում","settings.localEnvironments.actions.item.platforms":"Հարթակներ","settings.localEnvironments.actions.item.platforms.help":"Աշխատում է միայն որոշակի օպերացիոն համակարգերում։","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Հարթակի ընտրություն","settings.localEnvironments.actions.item.platforms.specific":"Հարթակին հատուկ","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Ջնջել","settings.localEnvironments.actions.title":"Գործողություններ","settings.localEnvironments.breadcrumb.back":"Հետ","settings.localEnvironments.breadcrumb.edit":"խմբագրել","settings.localEnvironments.breadcrumb.root":"Միջավայրեր","settings.localEnvironments.environment.actions.description":"Այս գործողությունները կարող են գործարկել ցանկացած հրաման և կցուցադրվեն վերնագրում։","settings.localEnvironments.environment.actionsLabel":"Գործողություններ","settings.localEnvironments.environment.create":"Ստեղծել տեղային միջավայր","settings.localEnvironments.environment.defaultName":"տեղային","settings.localEnvironments.environment.edit":"Խմբագրել տեղային միջավայրը","settings.localEnvironments.environment.empty":"Այս աշխատատարածքի համար դեռևս տեղային միջավայր կարգավորված չէ։","settings.localEnvironments.environment.name":"Անվանում","settings.localEnvironments.environment.setup":"Կարգավորման սկրիպտ","settings.localEnvironments.environment.setup.description":"Այս սկրիպտը կաշխատի worktree-ի ստեղծման դեպքում։","settings.localEnvironments.environment.setup.hint":"Աշխատում է նախագծի արմատային պանակում։","settings.localEnvironments.environment.setup.platformOverrides":"Հարթակի փոխարինող կարգավորումներ","settings.localEnvironments.environment.setup.platformOverrides.add":"Ավելացնել {platform} հարթակի կարգավորման սկրիպտը","settings.localEnvironments.environment.setup.platformOverrides.description":"Չեղարկում է որոշակի օպերացիոն համակարգերի համար նախատեսված կանխադրված սկրիպտը։","settings.localEnvironments.environment.setup.platformOverrides.remove":"Հեռացնել","settings.localEnvironments.environment.setup.script":"Սկրիպտ","settings.localEnvironments.environment.title":"Միջավայրի մանրամասներ","settings.localEnvironments.file.missing":"Պահեք՝ այս ֆայլն առաջին անգամ ստեղծելու համար։","settings.localEnvironments.file.parseError":"Հնարավոր չէ վերլուծել առկա ֆայլի կառուցվածքը։ Պահելու դեպքում փոփոխությունները չեն պահպանվի։ ({error})","settings.localEnvironments.file.path":"Ֆայլ՝ {path}","settings.localEnvironments.file.readError":"Չհաջողվեց բեռնել տեղային միջավայրի տվյալները։ ({error})","settings.localEnvironments.file.title":"Տեղային միջավայրի ֆայլ","settings.localEnvironments.loading.body":"Առբերվում է ձեր նախագծի կազմաձևումը։","settings.localEnvironments.loading.title":"Տեղային միջավայրերը բեռնվում են","settings.localEnvironments.preview.devOnly":"(միայն DEV տարբերակով)","settings.localEnvironments.preview.save":"Պահել","settings.localEnvironments.preview.saveError":"Չհաջողվեց պահել ֆայլը։ ({error})","settings.localEnvironments.preview.title":"Նախադիտում","settings.localEnvironments.save.disabled.name":"Պահելու համար ավելացրեք միջավայրի անուն։","settings.localEnvironments.save.disabled.noChanges":"Պահելու փոփոխություններ չկան։","settings.localEnvironments.save.disabled.saving":"Պահվում է․․․","settings.localEnvironments.save.success":"Պահված տեղային միջավայր","settings.localEnvironments.unavailable.body":"Չհաջողվեց բեռնել այս նախագծի տեղային միջավայրի կարգավորումները։","settings.localEnvironments.unavailable.title":"Տեղային միջավայրերն անհասանելի են։","settings.localEnvironments.workspace.add":"Ավելացնել նախագիծ","settings.localEnvironments.workspace.title":"Նախագիծ","settings.localEnvironments.workspaceSelect.addLabel":"Ավելացնել միջավայր","settings.localEnvironments.workspaceSelect.description":"Տեղային միջավայրերը Codex-ին ասում են, թե ինչպես կարգավորել worktree-ները նախագծի համար։ {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Նախագծեր դեռևս չկան։ Ավելացրեք նախագիծ՝ տեղային միջավայրերը կազմաձևելու համար։","settings.localEnvironments.workspaceSelect.errorLabel":"Ուշադրություն դարձրեք միջավայրի վրա","settings.localEnvironments.workspaceSelect.learnMore":"Իմանալ ավելին","settings.localEnvironments.workspaceSelect.listLabel":"Հասանելի նախագծեր","settings.localEnvironments.workspaceSelect.loading":"Նախագծերը բեռնվում են։","settings.localEnvironments.workspaceSelect.loadingLabel":"Միջավայրը բեռնվում է","settings.localEnvironments.workspaceSelect.title":"Ընտրել նախագիծ","settings.localEnvironments.workspaceSelect.viewAction":"Դիտել","settings.mcp.addServer":"Ավելացնել սերվեր","settings.mcp.app.configure":"Կազմաձևել","settings.mcp.app.connect":"Կապակցել","settings.mcp.apps.refresh":"Թարմացնել","settings.mcp.detail.addArgument":"Ավելացնել փաստարկ","settings.mcp.detail.addEnvVar":"Ավելացնել միջավայրի փոփոխական","settings.mcp.detail.addEnvVarPassthrough":"Ավելացնել փոփոխական","settings.mcp.detail.args":"Փաստարկներ","settings.mcp.detail.back":"Հետ","settings.mcp.detail.command":"Գործարկման հրաման","settings.mcp.detail.cwd":"Աշխատանքային գրացուցակ","settings.mcp.detail.docs":"Բացել MCP փաստաթղթերը","settings.mcp.detail.docs.link":"Փաստաթղթեր","settings.mcp.detail.envVarPassthrough":"Միջավայրի փոփոխականների փոխանցում","settings.mcp.detail.envVars":"Միջավայրի փոփոխականներ","settings.mcp.detail.http.addEnvHeader":"Ավելացնել փոփոխական","settings.mcp.detail.http.addHeader":"Ավելացնել վերնագիր","settings.mcp.detail.http.bearerToken":"«Կրողի» թոքենի (Bearer token) միջավայրի փոփոխական արժեք","settings.mcp.detail.http.envHeaders":"Միջավայրի փոփոխականներից ստացված վերնագրեր","settings.mcp.detail.http.headers":"Վերնագրեր","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Անվանում","settings.mcp.detail.save":"Պահել","settings.mcp.detail.switchTransportNotice":"Եթե ​​ցանկանում եք փոխել MCP սերվերի տեսակը, խնդրում ենք նախ հեռացնել այն։","settings.mcp.detail.titleExisting":"Արդիացնել {name} MCP-ն","settings.mcp.detail.titleNew":"Կապակցել հարմարեցրած MCP-ի","settings.mcp.detail.transport.http":"Հոսքային HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Ապատեղադրել","settings.mcp.empty":"Հարմարեցրած MCP սերվերներ միացված չեն","settings.mcp.myServers":"Հարմարեցրած սերվերներ","settings.mcp.partnerServer.description.figma":"Գեներացրեք ավելի լավ կոդ՝ Figma-ի ամբողջական համատեքստը ներառելով","settings.mcp.partnerServer.description.github":"Ինտեգրեք GitHub API-ների հետ՝ աշխատանքային հոսքերը ավտոմատացնելու և տվյալներն առանձնացնելու համար","settings.mcp.partnerServer.description.linear":"Ինտեգրեք Linear-ի խնդիրների հետևման և նախագծերի կառավարման հետ","settings.mcp.partnerServer.description.notion":"Կարդացեք փաստաթղթեր, թարմացրեք էջեր, կառավարեք առաջադրանքներ","settings.mcp.partnerServer.description.playwright":"Ինտեգրեք դիտարկիչի ավտոմատացումը՝ նախագծում և UI-ի թեստավորում իրականացնելու համար։","settings.mcp.partnerServer.install":"Տեղադրել","settings.mcp.partnerServer.installAndAuthenticate":"Տեղադրել և իսկորոշվել","settings.mcp.partnerServer.logoAlt":"{label} պատկերանշան","settings.mcp.partnerServer.manage":"Կառավարել","settings.mcp.partnerServer.vendor":"{vendor}-ի կողմից","settings.mcp.recommendedServers":"Առաջարկվող սերվերներ","settings.mcp.restartApp":"Վերագործարկել","settings.mcp.restartExtension":"Վերագործարկել ընդլայնումը","settings.mcp.server.enable":"Միացնել","settings.mcp.server.login":"Մուտք գործել","settings.mcp.server.settings":"Կարգավորումներ","settings.multiselect.createOption":"Ստեղծել «{value}»","settings.multiselect.removeOption":"Հեռացնել","settings.nav.account":"Հաշիվ","settings.nav.agent":"Կազմաձևում","settings.nav.ariaLabel":"Կարգավորումներ","settings.nav.back":"Վերադառնալ հավելված","settings.nav.data-controls":"Արխիվացված շարքեր","settings.nav.environments":"Cloud միջավայրեր","settings.nav.externalTooltip":"[alpha] Բացվում է դիտարկիչում","settings.nav.general-settings":"Ընդհանուր","settings.nav.git-settings":"Git","settings.nav.local-environments":"Միջավայրեր","settings.nav.mcp-settings":"MCP սերվերներ","settings.nav.notImplemented":"[alpha] Հասանելի չէ Alpha տարբերակում","settings.nav.personalization":"Անհատականացում","settings.nav.skills-settings":"Հմտություններ","settings.nav.usage-analytics":"Օգտագործում և վերլուծություն","settings.nav.worktrees":"Worktree-ներ","settings.openSourceLicenses.back":"Հետ","settings.openSourceLicenses.loading":"Բեռնվում է․․․","settings.openSourceLicenses.missing":"Երրորդ կողմի ծանուցումներ չեն հայտնաբերվել։","settings.openSourceLicenses.notSupported":"Հասանելի չէ այս հոսթում։","settings.openSourceLicenses.rowDescription":"Երրորդ կողմի ծանուցումներ՝ ներառված կախվածությունների վերաբերյալ","settings.openSourceLicenses.rowLabel":"Բաց աղբյուրի լիցենզիաներ","settings.openSourceLicenses.subtitle":"Այս հավելվածում ներառված կախվածությունների վերաբերյալ երրորդ կողմի ծանուցումներ","settings.openSourceLicenses.title":"Բաց աղբյուրի լիցենզիաներ","settings.openSourceLicenses.view":"Դիտել","settings.personalization.agents.description":"Խմբագրեք հրահանգները, որոնք Codex-ը հարմարեցնում են ձեզ համար։ {learnMore}","settings.personalization.agents.learnMore":"Իմանալ ավելին","settings.personalization.agents.loadError":"Հնարավոր չէ բեռնել agents.md-ն։","settings.personalization.agents.loading":"agents.md-ն բեռնվում է․․․","settings.personalization.agents.placeholder":"Ավելացրեք ձեր հարմարեցրած հրահանգները․․․","settings.personalization.agents.retry":"Կրկին փորձել","settings.personalization.agents.save":"Պահել","settings.personalization.agents.save.error":"Հնարավոր չէ պահել agents.md-ն","settings.personalization.agents.save.success":"agents.md-ն պահվեց","settings.personalization.agents.title":"Հատուկ հրահանգներ","settings.personalization.personality.description":"Ընտրեք կանխադրված տոն Codex-ի պատասխանների համար","settings.personalization.personality.label":"Անհատականություն","settings.sample.contentBody":"Օգտագործեք այս դասավորությունը՝ ձեր կարգավորումների վահանակները համապատասխան հեռավորությամբ կազմելու համար։","settings.sample.contentTitle":"Նմուշային բովանդակության բլոկ","settings.section.account":"Հաշիվ","settings.section.agent":"Կազմաձևում","settings.section.data-controls":"Արխիվացված շարքեր","settings.section.environments":"Cloud միջավայրեր","settings.section.external":"Բացվում է ձեր դիտարկիչում Alpha-ի ժամանակ","settings.section.general-settings":"Ընդհանուր","settings.section.git-settings":"Git","settings.section.local-environments":"Միջավայրեր","settings.section.mcp-settings":"MCP սերվերներ","settings.section.mcp-settings.docs":"Փաստաթղթեր","settings.section.mcp-settings.subtitle":"Միացնել արտաքին գործիքները և տվյալների աղբյուրները։","settings.section.personalization":"Անհատականացում","settings.section.skills-settings":"Հմտություններ","settings.section.unavailable":"Հասանելի չէ Alpha տարբերակում","settings.section.usage-analytics":"Օգտագործում և վերլուծություն","settings.section.worktrees":"Worktree-ներ","settings.threadDetail.description":"Ընտրել, թե հրամանի արտածումն ինչ չափով պետք է ցուցադրվի շարքերում","settings.threadDetail.label":"Շարքի մանրամասներ","settings.worktrees.conversation.untitled":"Չվերնագրված խոսակցություն","settings.worktrees.delete.error":"Չհաջողվեց ջնջել worktree-ն","settings.worktrees.empty.body":"Codex-ի կողմից ստեղծված worktree-ները կհայտնվեն այստեղ։","settings.worktrees.empty.title":"Worktree-ներ դեռ չկան","settings.worktrees.error.body":"Worktree-ները բեռնելիս սխալ առաջացավ։","settings.worktrees.error.retry":"Նորից փորձել","settings.worktrees.error.title":"Հնարավոր չէ բեռնել worktree-ները","settings.worktrees.loading.body":"Worktree-ի մանրամասները բեռնվում են։","settings.worktrees.loading.title":"Worktree-ները բեռնվում են...","settings.worktrees.repository.loading":"Պահոցի մետատվյալները բեռնվում են․․․","settings.worktrees.repository.unknown":"Անհայտ պահոց","settings.worktrees.row.conversations":"Զրուցաշարեր","settings.worktrees.row.conversations.empty":"Այս worktree-ին կապված զրույցներ չկան։","settings.worktrees.row.conversations.loading":"Խոսակցությունները բեռնվում են...","settings.worktrees.row.delete":"Ջնջել","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Ավելացնել նոր նախագիծ","sidebarElectron.archiveThread":"Արխիվացնել շարքը","sidebarElectron.archiveThreadError":"Չհաջողվեց արխիվացնել շարքը","sidebarElectron.collapseFolder":"Ծալել պանակը","sidebarElectron.createStableWorktree.dialog.cancel":"Չեղարկել","sidebarElectron.createStableWorktree.dialog.create":"Ստեղծել","sidebarElectron.debugNavLink":"Վրիպազերծել","sidebarElectron.editWorkspaceRootOptionName":"Խմբագրել անունը","sidebarElectron.expandFolder":"Ծավալել պանակը","sidebarElectron.groupByMenu.recency":"Ժամանակագրական ցանկ","sidebarElectron.groupByMenu.title":"Կազմակերպել","sidebarElectron.groupByMenu.workspace":"Ըստ նախագծի","sidebarElectron.inboxRouteNavLink":"Ավտոմատացումներ","sidebarElectron.markThreadUnread":"Նշել որպես չկարդացված","sidebarElectron.missingWorkspaceRoot":"Այս նախագծի պանակը ջնջվել կամ տեղափոխվել է","sidebarElectron.newThread":"Նոր շարք","sidebarElectron.newThreadInGroup":"Սկսել նոր շարք {folder}-ում","sidebarElectron.noRecentThreads":"Նոր շարքեր չկան","sidebarElectron.noTasks":"Շարքեր չկան","sidebarElectron.noTasks.start":"Ավելացնել նոր նախագիծ","sidebarElectron.noTasksWithFilter":"Զտիչներին համապատասխանող շարքեր չկան","sidebarElectron.pinnedThreads":"Ամրացված շարքեր","sidebarElectron.recentNavLink":"Շարքեր","sidebarElectron.recentThreads":"Նոր շարքեր","sidebarElectron.removeWorkspaceRootOption":"Հեռացնել","sidebarElectron.renameThread":"Վերանվանեք շարքը","sidebarElectron.renameThreadDialogAriaLabel":"Շարքի վերնագիր","sidebarElectron.renameThreadDialogCancel":"Չեղարկել","sidebarElectron.renameThreadDialogPlaceholder":"Ավելացրեք վերնագիր․․․","sidebarElectron.renameThreadDialogSave":"Պահել","sidebarElectron.renameThreadDialogSubtitle":"Գրեք հակիրճ և հասկանալի։","sidebarElectron.renameThreadDialogTitle":"Վերանվանեք շարքը","sidebarElectron.renameThreadError":"Չհաջողվեց վերանվանել շարքը","sidebarElectron.renameWorkspaceRootOptionLabel":"Ցուցադրվող անվանում","sidebarElectron.showLess":"Ցուցադրել ավելի քիչ","sidebarElectron.showMenu.all":"Բոլոր շարքերը","sidebarElectron.showMenu.relevant":"Համապատասխան","sidebarElectron.showMenu.relevantHint":"Ցուցադրեք միայն ընթացիկ ճյուղի, worktree-ների կամ այլ թեմաների վերջին շարքերը, որոնք ձեր ուշադրության կարիքն ունեն։","sidebarElectron.showMenu.title":"Ցուցադրել","sidebarElectron.showMenu.tooltip":"Զտել, տեսակավորել և դասավորել շղթաները","sidebarElectron.showMenu.trigger":"Զտել կողային վահանակների շարքերը","sidebarElectron.showMore":"Ցուցադրել ավելին","sidebarElectron.skillsRouteNavLink":"Հմտություններ","sidebarElectron.sortMenu.created":"Ստեղծվել է","sidebarElectron.sortMenu.title":"Տեսակավորել ըստ","sidebarElectron.sortMenu.updated":"Թարմացված","sidebarElectron.taskNavigation":"Ավտոմատացման պանակներ","sidebarElectron.tasksInFolder":"Ավտոմատացումներ՝ {folder}","sidebarElectron.workspaceOptions":"Նախագծի գործողություններ {folder} պանակի համար","sidebarElectron.worktreeGroupTooltip":"Սա git worktree է","skills.appsPage.createSkill":"Նոր հմտություն","skills.appsPage.empty.skills":"Հմտություններ չեն գտնվել","skills.appsPage.search.skills":"Որոնել հմտություններ","skills.appsPage.search.skills.label":"Որոնել հմտություններ","skills.appsPage.section.installedApps":"Տեղադրված է","skills.appsPage.section.skills":"Հմտություններ","skills.appsPage.subheading":"Տվեք Codex-ին գերուժեր։<link>Իմանալ ավելին</link>","skills.appsPage.tab.recommended":"Առաջարկվող","skills.appsPage.tab.skills":"Հմտություններ","skills.card.contentsError":"Հնարավոր չէ բեռնել հմտության բովանդակությունը։","skills.card.disable":"Անջատել","skills.card.disableSuccess":"{skillName} հմտություն անջատված է","skills.card.disabledBadge":"Անջատված","skills.card.enable":"Միացնել","skills.card.enableSuccess":"{skillName} հմտություն միացված է","skills.card.loadingContents":"Հմտության բովանդակությունը բեռնվում է...","skills.card.more":"Ավելի շատ գործողություններ","skills.card.open":"Բացել","skills.card.removeFailed":"Չհաջողվեց ապատեղադրել հմտությունը","skills.card.removeSuccess":"{skillName} հմտություն ապատեղադրված է","skills.card.toggleEnabledError":"Չհաջողվեց թարմացնել հմտությունները","skills.card.try":"Փորձել","skills.card.trySkill":"Փորձել հմտությունը","skills.card.uninstall":"Ապատեղադրել","skills.hero.dotLabel":"Անցնել {index} սլայդին","skills.hero.next":"Հաջորդ առաջարկվող գործառույթը","skills.hero.trySkill":"Փորձել հմտությունը","skills.page.createSkill":"Նոր հմտություն","skills.page.empty":"Հմտություններ չեն գտնվել","skills.page.filteredEmpty":"Ձեր զտիչներին համապատասխանող հմտություններ չկան","skills.page.filteredEmptyDescription":"Փորձեք փոփոխել որոնման տվյալները կամ կիրառված զտիչները","skills.page.heading":"Հմտություններ","skills.page.loading":"Հմտությունները բեռնվում են...","skills.page.refreshSkills":"Թարմացնել","skills.page.refreshSkillsToUseNew":"Թարմացրեք՝ նոր հմտությունը կամ հմտություններն օգտագործելու համար","skills.page.search":"Որոնել հմտություններ","skills.page.search.label":"Որոնել հմտություններ","skills.page.subheading":"Տվեք Codex-ին գերուժեր։<link>Իմանալ ավելին</link>","skills.preview.copyPrompt":"Պատճենել հարցումը","skills.preview.examplePrompt":"Օրինակ-հուշանիշ","skills.recommended.error":"Անհնար է բեռնել առաջարկվող հմտությունները","skills.recommended.install":"Տեղադրել","skills.recommended.installSkill":"Տեղադրել հմտությունը","skills.recommended.installSuccess":"{skillName} հմտություն տեղադրված է","skills.recommended.installed":"Տեղադրված է","skills.scope.admin":"Ադմին","skills.scope.adminInstalled":"Ադմինի կողմից տեղադրված","skills.scope.builtIn":"Համակարգ","skills.scope.personal":"Անձնական","skills.scope.repo":"Պահոց","skills.scope.system":"Համակարգ","skills.scope.team":"Թիմային","skills.scope.user":"Օգտատեր","skills.section.installed":"Տեղադրված է","skills.section.recommended":"Առաջարկվող","story.slidingToggle.existing":"Առկա","story.slidingToggle.fromLocal":"Տեղայինից","story.slidingToggle.new":"Նոր","story.slidingToggle.toLocal":"Տեղայինին","terminal.close":"Փակել տերմինալը","terminal.title":"Տերմինալ","thinkingShimmer.default":"Մտածում է","threadEnvIcon.cloudTooltip":"Այս խոսակցությունն ընթանում է Codex Cloud-ում։","threadEnvIcon.localTooltip":"Այս խոսակցությունն ընթանում է տեղային մակարդակում։","threadEnvIcon.worktreeTooltip":"Այս խոսակցությունն ընթանում է տեղային git worktree-ում։","threadHeader.archiveConfirmCancel":"Չեղարկել","threadHeader.archiveConfirmConfirm":"Արխիվացնել","threadHeader.copySessionId":"Պատճենել աշխատաշրջանի ID-ն","threadHeader.copyWorkingDirectory":"Պատճենել աշխատանքային գրացուցակը","threadHeader.forkIntoLocal":"Ստեղծել առանձին պատճեն տեղային միջավայրում","threadHeader.forkIntoWorktree":"Ստեղծել առանձին պատճեն նոր worktree-ում","threadHeader.forkPendingWorktreePrompt":"Ստեղծեք այս խոսակցության առանձին պատճեն նոր worktree-ում։","threadHeader.forkPendingWorktreeTitle":"Պատճենված խոսակցություն","threadHeader.forkThreadError":"Չհաջողվեց պատճենել շարքը","threadHeader.forkThreadRequiresGitRepo":"Նոր worktree-ում առանձին պատճեն ստեղծելու համար անհրաժեշտ է git պահոց","threadHeader.moreActions":"Շարքի գործողություններ","threadPage.newThread":"Նոր շարք","threadPage.runAction.changeEnvironment":"Փոխել միջավայրը","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} գործողություն","threadPage.runAction.environmentSelector.label":"Ընտրել միջավայր","threadPage.runAction.label":"Գործարկել","threadPage.runAction.missing.label":"Կարգավորել գործարկման գործողությունը","threadPage.runAction.setup.commandLabel":"Գործարկման հրաման","threadPage.runAction.setup.description":"Ասացեք Codex-ին, թե ինչպես տեղադրել կախվածությունները և գործարկել ձեր հավելվածը։","threadPage.runAction.setup.editMore":"Միջավայրի կարգավորումներ","threadPage.runAction.setup.placeholder":"օր․՝ npm install npm run","threadPage.runAction.setup.submit":"Պահել և գործարկել","threadPage.runAction.setup.title":"Գործարկել","threadPage.runAction.tooltip.withEnvironment":"{environmentName} գործողություն","threadPage.toggleDiffPanel":"Միացնել/անջատել diff-ի վահանակը","threadPage.toggleTerminal":"Միացնել/անջատել տերմինալը","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Բացել պանակը","toolSummaryForCmd.exploredFiles":"<verb>Թվարկվել են</verb> ֆայլեր","toolSummaryForCmd.exploredFilesInPath":"<verb>Թվարկվել են</verb> ֆայլեր {path}-ում","toolSummaryForCmd.exploringFiles":"<verb>Թվարկվել են</verb> ֆայլեր","toolSummaryForCmd.exploringFilesInPath":"<verb>Թվարկվել են</verb> ֆայլեր {path}-ում","toolSummaryForCmd.ranGenericCommand":"<status>Հրահանգը գործարկվեց</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Գործարկեց</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Կարդացել է</verb> հետևյալը՝ {path}","toolSummaryForCmd.runningGenericCommand":"<status>Հրահանգը գործարկվում է</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}ի համար","toolSummaryForCmd.searchedFor":"<verb>Որոնել է</verb> «{query}»","toolSummaryForCmd.searchedForFiles":"<verb>Որոնել է</verb> ֆայլեր","toolSummaryForCmd.searchedForInPath":"<verb>Որոնեց</verb> {query} {path}-ում","toolSummaryForCmd.searchingFor":"<verb>Որոնում է</verb> «{query}»","toolSummaryForCmd.searchingForFiles":"<verb>Որոնում է</verb> ֆայլեր","toolSummaryForCmd.searchingForInPath":"<verb>Որոնում է</verb> {query} {path}-ում","traceRecording.startDetails.cancel":"Չեղարկել","wham.diff.addComment":"Ավելացնել մեկնաբանություն","wham.diff.binaryFile":"Բինար ֆայլը չի ​​ցուցադրվում","wham.diff.noContent":"Բովանդակությունը բացակայում է","wham.fileTag.deleted":"Ջնջված","wham.fileTag.new":"Նոր","wham.formattedRelativeDateTime.compactDaysAgo":"{value} օր","wham.formattedRelativeDateTime.compactHoursAgo":"{value} ժ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} ր","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} ամ","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} շ","wham.formattedRelativeDateTime.compactYearsAgo":"{value} տ","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Աշխատում է ձեր առաջադրանքի վրա","wham.whamProposedTask.title":"Առաջարկվող առաջադրանք","wham.whamProposedTask.useSuggestion":"Օգտագործել առաջարկը","workspaceRootDialog.addError":"Չհաջողվեց ավելացնել նախագիծը","workspaceRootDialog.cancel":"Չեղարկել","workspaceRootDialog.confirmAdd":"Ավելացնել նախագիծ","workspaceRootDialog.confirmPick":"Օգտագործել նախագիծը","workspaceRootDialog.description":"{host}-ում մուտքագրեք ուղի, որը կարելի է որպես նախագիծ օգտագործել։","workspaceRootDialog.pathLabel":"Նախագծի ուղի","workspaceRootDialog.pathPlaceholder":"/գլխավոր էջ/դուք/նախագիծ","workspaceRootDialog.title.add":"Ավելացրեք նախագծի ուղին","workspaceRootDialog.title.pick":"Ընտրեք նախագծի ուղին","worktreeInitV2.cancel":"Չեղարկել","worktreeInitV2.notification.failedTitle":"Worktree-ի կարգավորումը չհաջողվեց","worktreeInitV2.output.empty":"Սպասում է արտածման...","worktreeInitV2.status.error":"Worktree-ի կարգավորումը չհաջողվեց։","worktreeInitV2.status.running":"Ստեղծում է worktree և գործարկում կարգավորումը։","worktreeInitV2.status.runningFork":"Worktree-ի կառուցում՝ տվյալ խոսակցության առանձին պատճեն ստեղծելու համար","worktreeInitV2.status.success":"Worktree-ն պատրաստ է։","worktreeInitV2.title":"Worktree-ն ստեղծվում է","worktreeInitV2.workLocallyInstead":"Փոխարենը աշխատել տեղային մակարդակում","worktreeRestoreBanner.body":"Այս շարքի worktree-ն հեռացվել է՝ սկավառակում տեղ խնայելու նպատակով","worktreeRestoreBanner.missing.body":"Այս շարքի աշխատանքային գրացուցակն այլևս չկա","worktreeRestoreBanner.missing.title":"Ներկայիս աշխատանքային գրացուցակը բացակայում է","worktreeRestoreBanner.restore.error":"Չհաջողվեց վերականգնել worktree-ն. {message}","worktreeRestoreBanner.restore.success":"Worktree-ն վերականգնված է","worktreeRestoreBanner.restoreCta":"Վերականգնել worktree-ն","worktreeRestoreBanner.title":"Worktree-ն մաքրված է"};export{e as default};
+const e={"CopyButton.copyTooltip":"Պատճենել","app.sidebar.hide":"Փակել կողագոտին","app.sidebar.show":"Ցուցադրել կողագոտին","app.sidebar.tooltip":"Փոխարկել կողագոտին","appHeader.installUpdate":"Թարմացնել","appSunset.body":"Հավելվածի այս տարբերակն այլևս չի աջակցվում։ Խնդրում ենք վերջին տարբերակը ներբեռնել <here>այստեղ</here>։","appSunset.title":"Պահանջվում է թարմացում","automation.updateDirective.create":"Ստեղծել","automation.updateDirective.open":"Բացել","automation.updateDirective.untitled":"Չվերնագրված ավտոմատացում","automation.updateDirective.update":"Թարմացնել","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# փորձ} other {# փորձ}}","cloudTaskRow.archiveError":"Չհաջողվեց արխիվացնել առաջադրանքը","code.diff.requestChange":"Փոփոխություն հայցեք","code.diffComment.cancel":"Չեղարկել","code.diffComment.comment":"Մեկնաբանություն","code.diffComment.delete":"Ջնջել","code.diffComment.save":"Պահել","codeReviewAssistant.location":"{file}՝{start}-{end}","codeReviewAssistant.noFindings":"Ոչ մի արդյունք չի հաղորդվել։","codex.alert.closeAriaLabel":"Փակել","codex.appUpsellBanner.cbpApi.message":"Կառուցեք ավելի արագ՝ Codex հավելվածի միջոցով։ Ներբեռնեք հիմա կամ {learnMoreLink}։","codex.appUpsellBanner.download":"Ներբեռնել","codex.appUpsellBanner.freeGo.message":"Codex-ը ներառված է ձեր փաթեթում մինչև մարտի 2-ը։ Փորձեք Codex հավելվածը՝ ավելի արագ կառուցելու համար։","codex.appUpsellBanner.later":"Ավելի ուշ","codex.appUpsellBanner.learnMoreLowercase":"իմացեք ավելին","codex.appUpsellBanner.new":"Նոր","codex.appUpsellBanner.proPlusBusiness.message":"Փորձեք Codex հավելվածը 2x սահմանաչափերով մինչև ապրիլի 2-ը։ Ներբեռնեք հիմա կամ {learnMoreLink}։","codex.appUpsellBanner.title":"Codex հավելված","codex.applyDropdown.header.changes":"Փոփոխություններ","codex.applyDropdown.header.fileCount":"{count, plural, one {# ֆայլ} other {# ֆայլ}}","codex.applyDropdown.header.rows":"տող","codex.applyDropdown.header.title":"Կիրառել փոփոխությունները","codex.applyDropdown.header.workspace":"Նախագիծ","codex.applyDropdown.results.conflicted":"{count, plural, one {Հակասություն 1 ֆայլի հետ.} other {Հակասություն {count} ֆայլի հետ.}}","codex.applyDropdown.results.empty":"Ֆայլեր չեն պատճենվել","codex.applyDropdown.results.skipped":"{count, plural, one {1 ֆայլ բաց է թողնվել.} other {{count} ֆայլ բաց է թողնվել.}}","codex.applyOrRevertBanner.apply":"Կիրառել","codex.applyOrRevertBanner.applyMessage":"Կիրառե՞լ տեղային փոփոխությունները և շարունակել","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Այս առաջադրանքը կատարվել է {environment}-ում, ուստի հնարավոր է, որ անխափան չգործի։","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Փոփոխությունները կատարվել են {environment}-ում, ուստի հնարավոր է, որ անխափան չգործեն։","codex.applyOrRevertBanner.reapply":"Կրկին կիրառել","codex.applyOrRevertBanner.revert":"Չեղարկել","codex.applyOrRevertBanner.revertMessage":"Չեղարկե՞լ կիրառված փոփոխությունները","codex.applyResultsDialog.applied":"Անխափան կիրառվեց ({count})","codex.applyResultsDialog.close":"Փակել","codex.applyResultsDialog.conflicted":"Հակասություններ ի հայտ եկան ({count})","codex.applyResultsDialog.noDetails":"Ֆայլի մանրամասները հասանելի չեն։","codex.applyResultsDialog.skipped":"Բաց է թողնվել ({count})","codex.applyResultsDialog.title":"Կիրառեք արդյունքները","codex.archiveInfo":"Դիտեք արխիվացված զրույցները {dataControlsLink}-ում։","codex.archiveInfo.dataControlsLink":"Տվյալների կառավարներ","codex.archiveInfo.electron":"Դիտել արխիվացված զրույցները {settingsLink}-ում","codex.archiveInfo.extension":"Դիտեք արխիվացված զրույցները ձեր .codex folder.-ում։","codex.archiveInfo.settingsLink":"Կարգավորումներ","codex.banner.content.description":"Զուգահեռաբար կատարել առաջադրանքներ, հետևել առաջընթացին ցանկացած վայրում և ստուգել PR-ները արհեստական ​​բանականության միջոցով։","codex.banner.content.headline":"Codex-ն անում է այս ամենը։","codex.cloudTaskRow.archiveTask":"Արխիվացնել առաջադրանքը","codex.cloudTaskRow.confirmArchiveTask":"Հաստատել","codex.command.feedback":"Կարծիք","codex.command.findInThread":"Գտնել","codex.command.forceReloadSkills":"Հարկադրել վերաբեռնման հմտությունները","codex.command.logOut":"Դուրս գալ","codex.command.manageTasks":"Կառավարել առաջադրանքները","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Հետ","codex.command.navigateForward":"Առաջ","codex.command.newThread":"Նոր շարք","codex.command.nextThread":"Հաջորդ շարքը","codex.command.openFolder":"Բացել պանակը","codex.command.openSkills":"Անցնել հմտություններին","codex.command.openThreadOverlay":"Բացել շղթան առանձին պատուհանում","codex.command.personalitySettings":"Անհատականություն","codex.command.previousThread":"Նախորդ շարքը","codex.command.settings":"Կարգավորումներ","codex.command.toggleDiffPanel":"Միացնել/անջատել diff-ի վահանակը","codex.command.toggleSidebar":"Փոխարկել կողագոտին","codex.command.toggleTerminal":"Միացնել/անջատել տերմինալը","codex.commandGroup.app":"Հավելված","codex.commandGroup.configure":"Կազմաձևել","codex.commandGroup.navigation":"Նավիգացիա","codex.commandGroup.panels":"Վահանակներ","codex.commandGroup.skills":"Հմտություններ","codex.commandGroup.thread":"Շարք","codex.commandGroup.workspace":"Նախագիծ","codex.commandMenu.noResults":"Համընկնումներ չկան","codex.commandMenu.searchPlaceholder":"Որոնման հրահանգներ","codex.commandMenu.suggestedGroup":"Առաջարկվող","codex.commandMenu.switchWorkspace":"Փոխել նախագիծը","codex.commandMenu.title":"Հրահանգների ընտրացանկ","codex.common.retry":"Կրկին փորձել","codex.composer.searchBranches":"Որոնեք ճյուղավորումները","codex.dialog.basic.body":"Սա սովորական մոդալ երկխոսության պատուհան է, որն օգտագործում է մեր ծրագրային ծածկույթը Radix Dialog-ի շուրջ։","codex.dialog.basic.cancel":"Չեղարկել","codex.dialog.basic.confirm":"Հաստատել","codex.dialog.basic.open":"Բացել Dialog-ը","codex.dialog.basic.title":"Dialog-ի նմուշ","codex.dialog.long.close":"Փակել","codex.dialog.long.line":"Թերթվող գիծ {index}՝ Dialog-ում երկար բովանդակություն ցույց տալու համար","codex.dialog.long.open":"Բացել երկար Dialog-ը","codex.dialog.long.title":"Երկար բովանդակությամբ Dialog","codex.dialog.unstyled.body":"Այս պատմությունը ցույց է տալիս, թե ինչպես զանգահարողները կարող են լիովին վերահսկել երկխոսության բովանդակության ոճավորումը։","codex.dialog.unstyled.open":"Բացել չոճավորված երկխոսության պատուհանը","codex.dialog.unstyled.title":"Չոճավորված բովանդակություն","codex.diff.openInEditorPrompt.openButton":"Բացել խմբագրիչով","codex.diff.openInEditorPrompt.singleLine":"Այս ֆայլը չափազանց մեծ է՝ այստեղ ցուցադրելու համար։","codex.diffView.failedToDecodeBase64Diff":"Չհաջողվեց վերծանել base64 diff-ը","codex.diffView.filesChanged":"{fileCount, plural, one {Փոփոխվել է # ֆայլ} other {Փոփոխվել է # ֆայլ}}","codex.diffView.imagePreviewAlt":"Պատկերի նախադիտում","codex.diffView.imagePreviewEmpty":"Պատկերները բացակայում է","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Diff տվյալներ չկան","codex.diffView.pdfPreview.nextPage":"Հաջորդ էջը","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Նախորդ էջը","codex.diffView.pdfPreviewEmpty":"PDF-ի նախադիտում չկա","codex.diffView.pdfPreviewError":"PDF-ի նախադիտումը հնարավոր չէ արտապատկերել","codex.diffView.richPreviewDisable":"Անջատել հարստացված նախադիտումը","codex.diffView.richPreviewEnable":"Միացնել հարստացված նախադիտումը","codex.diffView.richPreviewLoading":"Նախադիտումը բեռնվում է...","codex.diffView.richPreviewToggle":"Միացնել/անջատել հարստացված նախադիտումը","codex.diffView.switchToUnified":"Անցնել միասնական diff-ի","codex.environmentSelector.noEnvironment":"Միջավայրը բացակայում է","codex.environments.environmentSettings":"Միջավայրի կարգավորումներ","codex.environments.learnMore":"Իմանալ ավելին","codex.environments.listError":"Չհաջողվեց բեռնել միջավայրերը։","codex.environments.noEnvironmentsFound":"Միջավայրերը բացակայում են","codex.environments.searchError":"Չհաջողվեց որոնել միջավայրերը։","codex.errorBoundary.genericError":"Կներեք, սխալ առաջացավ","codex.errorBoundary.goHome":"Նորից փորձել","codex.file.patch.missing":"Այս ֆայլի համար հնարավոր չէ ձևափոխում ստեղծել։","codex.gallery.automations.cwdLabel":"Նախագծեր","codex.gallery.automations.nameLabel":"Անվանում","codex.gallery.automations.namePlaceholder":"Ամփոփել առաջադրանքը","codex.gallery.automations.promptLabel":"Հարցում","codex.gallery.automations.promptPlaceholder":"Նկարագրեք, թե ինչ պետք է անի Codex-ը","codex.gallery.dialogs.automation.label":"Ավտոմատացման երկխոսություն","codex.gallery.dialogs.basic.body":"Օգտագործեք այս դասավորությունը պարզ հաստատումների կամ կարճ ձևաթղթերի համար։","codex.gallery.dialogs.basic.cancel":"Չեղարկել","codex.gallery.dialogs.basic.confirm":"Հաստատել","codex.gallery.dialogs.basic.label":"Հիմնական երկխոսություն","codex.gallery.dialogs.basic.title":"Երկխոսության նմուշ","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Նկարագրեք խնդիրը","codex.gallery.dialogs.feedbackSubmission.bad":"Վատ արդյունք","codex.gallery.dialogs.feedbackSubmission.bug":"Վրիպակ","codex.gallery.dialogs.feedbackSubmission.good":"Լավ արդյունք","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Ներառել Codex-ի ընթացիկ աշխատաշրջանի մատյանները","codex.gallery.dialogs.feedbackSubmission.label":"Կարծիքի ներկայացում","codex.gallery.dialogs.feedbackSubmission.other":"Այլ","codex.gallery.dialogs.feedbackSubmission.placeholder":"Նկարագրեք խնդիրն այստեղ","codex.gallery.dialogs.feedbackSubmission.submit":"Ուղարկել","codex.gallery.dialogs.feedbackSubmission.title":"Կարծիք","codex.gallery.dialogs.feedbackSuccess.body":"Կարծիքը վերբեռնված է։ Եթե ​​խնդիրը շարունակվի, բացեք GitHub-ի խնդիրը կամ նշեք շարքի ID-ն արդեն իսկ բացված խնդրում՝","codex.gallery.dialogs.feedbackSuccess.dismiss":"Փակել","codex.gallery.dialogs.feedbackSuccess.label":"Կարծիքն ուղարկվեց","codex.gallery.dialogs.feedbackSuccess.title":"Կարծիքը վերբեռնված է","codex.gallery.dialogs.gitApplyResults.applied":"Անխափան կիրառվեց (2)","codex.gallery.dialogs.gitApplyResults.close":"Փակել","codex.gallery.dialogs.gitApplyResults.conflicted":"Հակասություններ (1)","codex.gallery.dialogs.gitApplyResults.label":"Կիրառեք արդյունքները","codex.gallery.dialogs.gitApplyResults.title":"Կիրառեք արդյունքները","codex.gallery.dialogs.gitPushError.body":"Քաշեք վերջին փոփոխությունները կամ հարկադրաբար կատարեք push-ը, եթե գիտեք, որ հեռակա պատմությունը կարելի է անվտանգ ձևով վրագրել։","codex.gallery.dialogs.gitPushError.cancel":"Չեղարկել","codex.gallery.dialogs.gitPushError.force":"Հարկադրաբար կատարել push-ը","codex.gallery.dialogs.gitPushError.label":"Push սխալ","codex.gallery.dialogs.gitPushError.subtitle":"Ձեր ճյուղը գտնվում է origin/main-ի հետևում։","codex.gallery.dialogs.gitPushError.title":"Չհաջողվեց ուղարկել փոփոխությունները","codex.gallery.dialogs.gitRevert.cancel":"Չեղարկել","codex.gallery.dialogs.gitRevert.confirm":"Հետադարձել","codex.gallery.dialogs.gitRevert.label":"Հետադարձել փոփոխությունները","codex.gallery.dialogs.gitRevert.skip":"Այլևս չհարցնել","codex.gallery.dialogs.gitRevert.subtitle":"Տվյալ գործողությունը ջնջում է այս բոլոր փոփոխությունները։","codex.gallery.dialogs.gitRevert.title":"Հետադարձե՞լ փոփոխությունները","codex.gallery.dialogs.longForm.label":"Երկար ձևաչափով երկխոսություն","codex.gallery.dialogs.proseModal.body":"Այս մոդալ ոճը օգտագործվում է ավելի երկար հրահանգների, օնբորդինգի կամ հարուստ բովանդակության բլոկների համար։","codex.gallery.dialogs.proseModal.close":"Փակել","codex.gallery.dialogs.proseModal.subtitle":"Տեղադրեք մանրամասն ուղեցույցներ կամ փաստաթղթեր այստեղ։","codex.gallery.dialogs.proseModal.title":"Պրոզայի մոդալ","codex.gallery.dialogs.submitBlocked.label":"Ուղարկումն արգելափակված է","codex.gallery.dialogs.submitBlocked.message":"Ձեր հաղորդագրությունը չի կարող ուղարկվել, քանի որ նախագիծը հասանելի չէ։","codex.gallery.dialogs.submitBlocked.ok":"Լավ","codex.gallery.dialogs.submitBlocked.title":"Չհաջողվեց ուղարկել հաղորդագրությունը","codex.gallery.dialogs.title":"Երկխոսություններ","codex.gallery.dropdown.filterPlaceholder":"Զտեք տարրերը","codex.gallery.dropdowns.actionRow":"Գործողությունների տողեր","codex.gallery.dropdowns.actionRow.disabled":"Անջատված գործողություն","codex.gallery.dropdowns.actionRow.primary":"Առաջնային գործողություն","codex.gallery.dropdowns.actionRow.secondary":"Երկրորդական գործողություն","codex.gallery.dropdowns.actionRow.trigger":"Ցուցադրել գործողությունները","codex.gallery.dropdowns.basic":"Հիմնական ցանկ","codex.gallery.dropdowns.basic.newFile":"Նոր ֆայլ","codex.gallery.dropdowns.basic.newFolder":"Նոր պանակ","codex.gallery.dropdowns.basic.openSettings":"Բացել կարգավորումները","codex.gallery.dropdowns.basic.title":"Արագ գործողություններ","codex.gallery.dropdowns.basic.trigger":"Բացել ընտրացանկը","codex.gallery.dropdowns.basic.upload":"Վերբեռնել","codex.gallery.dropdowns.panel":"Վահանակի մակերես","codex.gallery.dropdowns.panel.apply":"Կիրառել","codex.gallery.dropdowns.panel.body":"Ստուգեք diff-երը և կիրառեք ձեր նախագծի նկատմամբ։","codex.gallery.dropdowns.panel.preview":"Նախադիտել","codex.gallery.dropdowns.panel.title":"Կիրառել փոփոխությունները","codex.gallery.dropdowns.panel.trigger":"Բացել վահանակը","codex.gallery.dropdowns.search":"Որոնման ենթակա ցանկ","codex.gallery.dropdowns.search.first":"Ալֆա ալիք","codex.gallery.dropdowns.search.second":"Բետա ճյուղ","codex.gallery.dropdowns.search.third":"Թողարկել թեկնածու","codex.gallery.dropdowns.search.trigger":"Զտեք տարրերը","codex.gallery.dropdowns.submenu":"Հիմնական ցանկ՝ ենթացանկով","codex.gallery.dropdowns.submenu.optionA":"Ալֆա նախագիծ","codex.gallery.dropdowns.submenu.optionB":"Բետա նախագիծ","codex.gallery.dropdowns.submenu.optionC":"Գամմա նախագիծ","codex.gallery.dropdowns.submenu.primary":"Նշանակել սեփականատեր","codex.gallery.dropdowns.submenu.secondary":"Տեղափոխել","codex.gallery.dropdowns.submenu.tertiary":"Արխիվացնել","codex.gallery.dropdowns.submenu.trigger":"Ընտրել գործողություն","codex.gallery.dropdowns.title":"Հիմնական ցանկեր","codex.gallery.inbox.automations.close":"Փակել","codex.gallery.inbox.automations.popover.cardTitle":"Կառավարել ավտոմատացումները","codex.gallery.inbox.automations.popover.dialogTitle":"Կառավարել ավտոմատացումները","codex.header.settingsTooltip":"Կարգավորումներ","codex.hunk.patch.error":"Չհաջողվեց նախապատրաստել","codex.hunk.patch.missing":"Այս կտորի համար հնարավոր չէ ձևափոխում ստեղծել։","codex.hunk.patch.partialSuccess":"Հաջողվեց՝ մասնակիորեն","codex.hunk.patch.revertError":"Չհաջողվեց չեղարկել նախապատրաստումը","codex.hunk.patch.revertSuccess":"Նախապատրաստման չեղարկումը հաջողվեց","codex.hunk.patch.success":"Նախապատրաստումը հաջողվեց","codex.legal.autonomy.details":"Ավելի շատ մանրամասների համար տեսնել՝ {link}","codex.legal.autonomy.details.link":"Codex-ի փաստաթղթեր","codex.legal.autonomy.title":"Որոշեք, թե որքան ինքնավարություն եք ուզում տրամադրել","codex.legal.backButton":"Հետ","codex.legal.cloud.taskOne.meta":"openai/agi · հոկտեմբերի 12","codex.legal.cloud.taskOne.title":"Բացատրեք պահոցը նոր դիզայներին","codex.legal.cloud.taskThree.meta":"openai/codex · հոկտեմբերի 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Ստեղծեք մութ ռեժիմով թեմա","codex.legal.cloud.taskTwo.meta":"openai/agi · հոկտեմբերի 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ուղղեք գրանցման սխալը","codex.legal.continue.apikey":"Շարունակել","codex.legal.continueButton":"Հաջորդ","codex.legal.copilot.details":"Օգտագործում է ձեր Copilot փաթեթը բոլոր մոդելների զանգերի, վճարային հաշիվների և սակագնային սահմանափակումների համար։ Codex-ի ընդլայնման օգտագործումը ենթակա է {oaiTos} և {gitHubTos} նախընտրանքներին։","codex.legal.copilot.gitHubTosLink":"GitHub-ի օգտագործման պայմաններ","codex.legal.copilot.oaiTosLink":"OpenAI Codex-ի ծառայության պայմաններ","codex.legal.copilot.title":"Աշխատում է GitHub Copilot-ի օգնությամբ","codex.legal.mistakes.review":"Ստուգեք այն կոդը, որը նա գրում է, և այն հրամանները, որոնք նա կատարում է","codex.legal.mistakes.title":"Codex-ը կարող է սխալներ թույլ տալ","codex.legal.powered.details":"Օգտագործում է ձեր փաթեթի սակագնային սահմանաչափերը և {link}","codex.legal.powered.details.link":"վարժեցման տվյալների նախընտրանքները","codex.legal.powered.title":"Աշխատում է ձեր ChatGPT հաշվի օգնությամբ","codex.legal.step.cloud.subtitle":"Ուղարկեք առաջադրանքներ Codex-ին՝ ֆոնային ռեժիմով կատարելու համար, որպեսզի կարողանաք կենտրոնացած մնալ և ավելի արագ առաջ գնալ։","codex.legal.step.cloud.title":"Հանձնեք այն Codex-ին Cloud-ում","codex.legal.step.intro.subtitle":"Codex-ն ուսումնասիրում, խմբագրում, գործարկում է հրամանները և թեստեր է կատարում անմիջապես ձեր պահոցում։ Աշխատում է ձեր ChatGPT հաշվի միջոցով։","codex.legal.step.intro.title":"Codex-ը ձեր IDE-ում","codex.legal.step.todo.subtitle":"Գրեք TODO մեկնաբանություն և մեկ սեղմումով այն վերածեք Codex առաջադրանքի։","codex.legal.step.todo.title":"Վերածեք TODO-ները Codex առաջադրանքների","codex.legal.todo.heading":"// TODO։ իրականացնել սխեման","codex.localConversation.closeImagePreview":"Փակել պատկերի նախադիտումը","codex.localConversation.userImageAttachment":"Օգտատիրոջ կցորդ","codex.localTaskRow.archiveTask":"Արխիվացնել շարքը","codex.localTaskRow.awaitingApproval":"Սպասում է հաստատման","codex.localTaskRow.awaitingResponse":"Սպասում է պատասխանի","codex.localTaskRow.confirmArchiveTask":"Հաստատել","codex.loggedOut.apiKeyPrompt.cancel":"Չեղարկել","codex.loggedOut.apiKeyPrompt.confirm":"Լավ","codex.loggedOut.apiKeyPrompt.getKey":"Ստանալ API բանալի","codex.loggedOut.apiKeyPrompt.inputLabel":"Մուտքագրել ձեր OpenAI-ի API բանալին","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloud-ի առաջադրանքներն անջատված են API բանալիով","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloud-ի առաջադրանքներն անջատված են Copilot-ով և API բանալիով","codex.loggedOut.signIn":"Մուտք գործել ChatGPT-ով","codex.loggedOut.signIn.cancel":"Չեղարկել մուտքը","codex.loggedOut.signInWithCopilot":"Մուտք գործել GitHub Copilot-ով","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Օգտագործել API բանալի","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} գործիք","codex.mcpTool.collapsedLabel.verb.called":"Ակտիվացվեց","codex.mcpTool.collapsedLabel.verb.calling":"Ակտիվացվում է","codex.mcpTool.embeddedResource.contentLabel":"Բովանդակություն","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-ի տեսակը","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Գործիքը բովանդակություն չի գտել","codex.mcpTool.rawPayloadHeading":"Չմշակված {server}.{tool} գործիքի ակտիվացման տվյալների փաթեթ","codex.menu.recent":"Թարմ","codex.menu.seeAllHistory":"Տեսնել ամբողջ պատմությունը","codex.modelCapacityBanner.headline.noReset":"{modelName} մոդելը ներկայումս գերծանրաբեռնված է։ Փորձեք ավելի ուշ կամ նոր զրույց սկսեք մեկ այլ մոդելի հետ։","codex.modelCapacityBanner.headline.withReset":"{modelName} մոդելը ներկայումս գերծանրաբեռնված է։ Փորձեք {resetDate} հետո կամ նոր զրույց սկսեք մեկ այլ մոդելի հետ։","codex.modelCapacityBanner.title":"Ընտրված մոդելը գերծանրաբեռնված է","codex.patch.change.contentsDeleted":"Բովանդակությունը ջնջված է","codex.patch.change.created":"Ստեղծվել է","codex.patch.change.created-file":"Ստեղծված ֆայլ","codex.patch.change.creating":"Ստեղծվում է","codex.patch.change.deleted":"Ջնջված","codex.patch.change.deleted-file":"Ջնջված ֆայլ","codex.patch.change.deleting":"Ջնջվում է","codex.patch.change.edited":"Փոփոխված","codex.patch.change.edited-file":"Փոփոխված ֆայլ","codex.patch.change.editing":"Փոփոխվում է","codex.patch.change.noChanges":"Փոփոխություններ չկան","codex.patch.change.rejected-add":"Մերժվեց","codex.patch.change.rejected-delete":"Մերժվեց","codex.patch.change.rejected-edit":"Մերժվեց","codex.plan.stepIndexPrefix":"{index}։","codex.plan.tasksCompletedSummary":"{total} առաջադրանքից {completed}-ն ավարտված է","codex.plan.todoListCreated":"Անելիքների ցանկը ստեղծվել է {total} առաջադրանքով","codex.profileDropdown.apiKeyAuth":"Մուտք գործեցիք API բանալիով","codex.profileDropdown.codexSettings":"Codex-ի կարգավորումներ","codex.profileDropdown.copilotAuth":"Մուտք գործեցիք Copilot-ով","codex.profileDropdown.defaultAccountTitle":"Կանխադրված հաշիվ","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter՝ երկար հարցումներ ուղարկելու համար","codex.profileDropdown.enterBehaviorError":"Չհաջողվեց թարմացնել կարգավորումները","codex.profileDropdown.getPlus":"Արդիացնել՝ ավելի բարձր սահմանաչափեր ստանալու համար","codex.profileDropdown.keyboardShortcuts":"Ստեղնաշարի դյուրանցումներ","codex.profileDropdown.language":"Լեզու","codex.profileDropdown.languageDefault":"Ավտոմատ հայտնաբերել","codex.profileDropdown.languageSearchPlaceholder":"Որոնեք լեզուներ","codex.profileDropdown.languageUpdateError":"Չհաջողվեց թարմացնել լեզուն","codex.profileDropdown.logOut":"Դուրս գալ","codex.profileDropdown.mcp":"MCP կարգավորումներ","codex.profileDropdown.openConfigToml":"Բացել config.toml ֆայլը","codex.profileDropdown.openConfigToml.wsl":"Բացել config.toml ֆայլը WSL միջավայրում","codex.profileDropdown.openExtensionSettings":"Բացել կարգավորումները","codex.profileDropdown.openMcpSettings":"Բացել MCP կարգավորումները","codex.profileDropdown.openOnStartup":"Բացել մեկնարկի ժամանակ","codex.profileDropdown.openOnStartupError":"Չհաջողվեց թարմացնել կարգավորումները","codex.profileDropdown.openSkillsSettings":"Բացել հմտությունների կարգավորումները","codex.profileDropdown.personalAccountTitle":"Անձնական հաշիվ","codex.profileDropdown.queueFollowUps":"Սպասման ցուցակի հետագա փորձարկումներ","codex.profileDropdown.queueFollowUpsError":"Չհաջողվեց թարմացնել կարգավորումները","codex.profileDropdown.readDocs":"Կարդալ փաստաթղթերը","codex.profileDropdown.readSkillsDocs":"Կարդալ փաստաթղթերը","codex.profileDropdown.runInWsl":"Գործարկել WSL-ում","codex.profileDropdown.runInWslError":"Չհաջողվեց թարմացնել կարգավորումները","codex.profileDropdown.runInWslTooltip":"Գործարկում է Codex-ը WSL-ի ներսում։ Խորհուրդ է տրվում բարելավված անվտանգության և ավելի լավ արտադրողականության համար։","codex.profileDropdown.settings":"IDE-ի կարգավորումներ","codex.profileDropdown.settingsPage":"Կարգավորումներ","codex.profileDropdown.signInWithOpenAI":"Մուտք գործել ChatGPT-ով","codex.profileDropdown.skills":"Հմտությունների կարգավորումներ","codex.profileDropdown.switchToCopilotAccount":"Օգտագործել Copilot հաշիվը","codex.profileDropdown.switchToOpenAIAccount":"Օգտագործել OpenAI հաշիվը","codex.profileDropdown.todoCodelens":"Շտկել TODO մեկնաբանությունները","codex.profileDropdown.todoCodelensError":"Չհաջողվեց թարմացնել կարգավորումները","codex.profileDropdown.windowsDocumentation":"Windows-ի փաստաթղթեր","codex.profileFooter.signedInFallback":"Կարգավորումներ","codex.profileFooter.upgrade":"Արդիացնել","codex.recentTasksMenu.clearSearch":"Մաքրել որոնումը","codex.recentTasksMenu.cloud":"Cloud-ի առաջադրանքներ","codex.recentTasksMenu.count":"{count, plural, =0 {Ընթացիկ առաջադրանքներ չկան} one {# առաջադրանք ընթացքում է} other {# առաջադրանք ընթացքում է}}","codex.recentTasksMenu.empty":"Շարքեր դեռևս չկան","codex.recentTasksMenu.errorCloud":"Առաջադրանքները չհաջողվեց բեռնել։","codex.recentTasksMenu.errorCloud.inline":"Cloud-ի առաջադրանքները չհաջողվեց բեռնել։","codex.recentTasksMenu.filterAll":"Բոլորը","codex.recentTasksMenu.filterCloudTasks":"Զտեք Cloud-ի առաջադրանքները","codex.recentTasksMenu.filterTooltip":"Զտել առաջադրանքներն ըստ միջավայրի","codex.recentTasksMenu.local":"Տեղային առաջադրանքներ","codex.recentTasksMenu.recent":"Բոլոր առաջադրանքները","codex.recentTasksMenu.search":"Որոնել վերջին առաջադրանքները","codex.recentTasksMenu.searchEmpty":"Արդյունք չկա","codex.recentTasksMenu.tooltip":"Առաջադրանքների պատմություն","codex.recentTasksMenu.trigger":"Վերջին առաջադրանքները։ {count, plural, one {#-ն ընթացքում է} other {#-ն ընթացքում է}}","codex.remoteConversation.applyDiff.applyCta":"Կիրառել փոփոխությունները","codex.remoteConversation.applyDiff.dropdownTitle":"Կիրառել փոփոխությունները տեղային ճյուղավորման վրա","codex.remoteConversation.applyDiff.revertCta":"Հետադարձել փոփոխությունները","codex.remoteConversation.closeImagePreview":"Փակել պատկերի նախադիտումը","codex.remoteConversation.codexCloudTask":"Դուք դիտում եք <u>Codex cloud</u>-ի առաջադրանք","codex.remoteConversation.errorWithMessage":"Սխալ. {message}","codex.remoteConversation.loadingImage":"Պատկերը բեռնվում է","codex.remoteConversation.openInWeb":"Բացել վեբում","codex.remoteConversation.streaming":"Մեկնարկում է","codex.remoteConversation.turnFailed":"Այս առաջադրանքի ընթացքում սխալ առաջացավ","codex.remoteConversation.turnTab.loading":"Փորձ {number}","codex.remoteConversation.turnTab.title":"Փորձ {number}","codex.remoteConversation.userImageAttachment":"Օգտատիրոջ կցորդ","codex.remoteConversation.viewPreviousTurns":"Բացել վեբում","codex.remoteConversation.viewPreviousTurns.buttonText":"Բացել","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Բացել վեբում","codex.review.copyGitApplyCommand":"Պատճենել git-ի կիրառման հրամանը","codex.review.copyGitApplyCommand.toast":"Git-ի կիրառման հրամանը պատճենվեց սեղմատախտակին","codex.review.diffTooLarge.description":"Այս diff-ը չափազանց մեծ է՝ ստուգման ենթակա հատվածում ցուցադրելու համար։","codex.review.diffTooLarge.title":"Diff-ը չափազանց մեծ է ցուցադրելու համար","codex.review.expandOrCollapseDiffButton.collapse":"Ծալել բոլորը diff-երը","codex.review.expandOrCollapseDiffButton.expand":"Ծավալել բոլորը diff-երը","codex.review.expandOrCollapseDiffMenu.collapse":"Ծալել բոլորը diff-երը","codex.review.expandOrCollapseDiffMenu.expand":"Ծավալել բոլորը diff-երը","codex.review.fileSearch.clear":"Մաքրել ֆայլի զտիչը","codex.review.fileSearch.empty":"Ընթացիկ զտիչին համապատասխանող ֆայլեր չկան։","codex.review.fileSearch.label":"Զտիչի ֆայլեր","codex.review.fileSearch.placeholder":"Զտիչի ֆայլեր․․․","codex.review.filesChanged":"{num, plural, =0 {Ֆայլեր չեն փոփոխվել} one {Փոփոխվել է # ֆայլ} other {Փոփոխվել է # ֆայլ}}","codex.review.find.loadMore":"Բեռնել ավելի շատ համընկնումներ","codex.review.fullReview.hideFileTree":"Թաքցնել ֆայլերի ծառը","codex.review.fullReview.showFileTree":"Ցուցադրել ֆայլերի ծառը","codex.review.header.moreOptions":"Ստուգել ընտրանքները","codex.review.largeDiff.banner":"Հայտնաբերվել է մեծածավալ diff։ Ֆայլերը ցուցադրվում են մեկ առ մեկ։","codex.review.loadFullFiles.disable":"Մի բեռնեք ամբողջական ֆայլեր","codex.review.loadFullFiles.enable":"Բեռնեք ամբողջական ֆայլեր","codex.review.noDiff":"Ֆայլի փոփոխությունները կհայտնվեն այստեղ","codex.review.noDiff.gitInit.createRepository":"Ստեղծել git պահոց","codex.review.noDiff.gitInit.creating":"Ստեղծվում է…","codex.review.noDiff.gitInit.error":"Git-ի մեկնարկումը ձախողվեց՝ {message}","codex.review.noDiff.gitInit.success":"Git պահոցը ստեղծվեց","codex.review.noDiff.gitRepoRequired.description":"Հետևել այս նախագծում կատարված փոփոխություններին և հետարկել դրանք","codex.review.noDiff.gitRepoRequired.title":"Ստեղծեք Git պահոց","codex.review.noDiff.orNoLongerAvailable":"կամ վերջին diff-երն այլևս հասանելի չեն","codex.review.noDiff.reverted":"Վերջին քայլը հետադարձվել է","codex.review.noDiff.revertedOrCommitted":"Վերջին քայլը հետադարձվել է կամ հաստատվել","codex.review.refreshGitQueries":"Թարմացնել","codex.review.revert.file.error":"Չհաջողվեց հետադարձել {path}","codex.review.revert.file.partialSuccess":"{path} մասամբ հետադարձվեց","codex.review.revert.file.success":"{path} հետադարձվեց","codex.review.revert.hunk.error":"Չհաջողվեց հետադարձել կտոր {hunkNumber}-ը {path}-ում","codex.review.revert.hunk.partialSuccess":"Մասամբ հետադարձվեց կտոր {hunkNumber}-ը {path}-ում","codex.review.revert.hunk.success":"Հետադարձվեց կտոր {hunkNumber}-ը {path}-ում","codex.review.revert.section.error":"Չհաջողվեց հետադարձել հատվածը","codex.review.revert.section.partialSuccess":"Հատվածը մասամբ հետադարձվեց","codex.review.revert.section.success":"Հատվածը հետադարձվեց","codex.review.revertDialog.cancel":"Չեղարկել","codex.review.revertDialog.confirm":"Հաստատել","codex.review.revertDialog.message":"Տվյալ գործողությունը ջնջում է այս բոլոր փոփոխությունները։","codex.review.revertDialog.skip":"Այլևս չհարցնել","codex.review.revertDialog.title":"Հետադարձե՞լ փոփոխությունները","codex.review.richPreview.disable":"Անջատել հարստացված նախադիտումը","codex.review.richPreview.enable":"Միացնել հարստացված նախադիտումը","codex.review.source.cloud":"Cloud-ի փոփոխություններ","codex.review.source.local.all":"Ճյուղավորման բոլոր փոփոխությունները","codex.review.source.local.lastTurn":"Վերջին քայլի փոփոխություններ","codex.review.source.local.uncommitted":"Չհաստատված փոփոխություններ","codex.review.source.worktree":"Worktree-ի չգործարկված փոփոխություններ","codex.review.stageFilter.empty.staged.description":"Ընդունել խմբագրումները՝ դրանք նախապատրաստելու համար","codex.review.stageFilter.empty.staged.title":"Նախապատրաստված փոփոխություններ չկան","codex.review.stageFilter.empty.unstaged.description":"Կոդի փոփոխությունները կհայտնվեն այստեղ","codex.review.stageFilter.empty.unstaged.title":"Չնախապատրաստված փոփոխություններ չկան","codex.review.stageFilter.staged":"Նախապատրաստված","codex.review.stageFilter.staged.count":"Նախապատրաստված · {count}","codex.review.stageFilter.unstaged":"Չնախապատրաստված","codex.review.stageFilter.unstaged.count":"Չնախապատրաստված · {count}","codex.review.switchToSplit":"Անցնել մասնատված diff-ի","codex.review.switchToUnified":"Անցնել միասնական diff-ի","codex.review.toggleDiffView":"Միացնել/անջատել diff-ի դիտումը","codex.review.wordDiffs.disable":"Միացնել/անջատել բառերի diff-երը","codex.review.wordDiffs.enable":"Միացնել բառերի diff-երը","codex.review.wrap.disable":"Անջատել բառերի տողադարձումը","codex.review.wrap.enable":"Միացնել բառերի տողադարձումը","codex.section.patch.missing":"Այս հատվածի համար հնարավոր չէ ձևափոխում ստեղծել։","codex.shell.collapse":"Ծալել shell-ը","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Shell-ի բովանդակությունը պատճենվեց","codex.shell.copy.copyTooltip":"Պատճենել shell-ի բովանդակությունը","codex.shell.copyCommand":"Պատճենել հրահանգը","codex.shell.copyOutput":"Պատճենել արտածումը","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Ծավալել shell-ը","codex.shell.name":"Shell","codex.shell.noOutput":"Արտածում չկա","codex.signInFailed.message":"Չհաջողվեց մուտք գործել․ {rawMessage}","codex.stories.toast.show":"Ցուցադրել կարճ ծանուցումը","codex.stories.tooltip.basic":"Սա հուշում է","codex.stories.tooltip.hoverMe":"Նշորդը պահեք ինձ վրա","codex.stories.tooltip.largerOffset":"Այս հուշումն ավելի մեծ շեղում ունի","codex.stories.tooltip.offsetButton":"Ավելի մեծ շեղում","codex.stories.tooltip.shortcutButton":"Դյուրանցումով","codex.stories.tooltip.withShortcut":"Միացնել/անջատել տերմինալը","codex.taskRow.title":"Նոր շարք","codex.taskRowLayout.confirm":"Հաստատել","codex.threadFindBar.chatFilter":"Որոնել զրույցը","codex.threadFindBar.close":"Փակել որոնումը","codex.threadFindBar.diffFilter":"Որոնել diff-եր","codex.threadFindBar.label":"Գտնել շարքում","codex.threadFindBar.nextResult":"Հաջորդ արդյունքը","codex.threadFindBar.noResults":"0 արդյունք","codex.threadFindBar.placeholder":"Որոնել շարք․․․","codex.threadFindBar.placeholder.extension":"Որոնել շարք․․․","codex.threadFindBar.placeholder.review":"Որոնել diff․․․","codex.threadFindBar.placeholder.review.extension":"Որոնել diff․․․","codex.threadFindBar.previousResult":"Նախորդ արդյունքը","codex.todoPlan.stepIndexPrefix":"{index}։","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {Փոփոխվել է # ֆայլ} other {Փոփոխվել է # ֆայլ}}","codex.unifiedDiff.inlineLargeFile":"Չափազանց մեծ է ներտողային ցուցադրման համար","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Հետարկել","codex.unifiedDiff.revertPatchError":"Չհաջողվեց չեղարկել փոփոխությունները","codex.unifiedDiff.revertPatchSuccess":"Փոփոխությունները չեղարկվեցին","codex.unifiedDiff.reviewChangesSuffix":"փոփոխություններ","codex.unifiedDiff.reviewShort":"Ստուգել","codex.unifiedDiff.viewDiffTooltip":"Ստուգել","codex.upsellBanner.business.headline":"Այս պահին մուտքի ավելի մեծ հնարավորություն ստանալու համար հարցում ուղարկեք ձեր ադմինին կամ սպասեք մինչև {resetDate}։","codex.upsellBanner.cbp.headline":"Այս պահին մուտքի ավելի մեծ հնարավորություն ստանալու համար հարցում ուղարկեք ձեր ադմինին։","codex.upsellBanner.cta.addCredits":"Ավելացնել կրեդիտներ","codex.upsellBanner.cta.upgradeAccount":"Արդիացնել","codex.upsellBanner.cta.viewUsage":"Ուսումնասիրել օգտագործումը","codex.upsellBanner.freeOrGo.headline":"Ձեր սահմանաչափը կվերակայվի {resetDate}։ Որպեսզի շարունակեք Codex-ից օգտվել, անցեք Plus-ի այսօր։","codex.upsellBanner.general.headline":"Ձեր սահմանաչափը կվերակայվի {resetDate}։","codex.upsellBanner.general.title":"Դուք սպառել եք Codex հաղորդագրությունների սահմանաչափը","codex.upsellBanner.plus.headline":"Ձեր սահմանաչափը կվերակայվի {resetDate}։ Որպեսզի շարունակեք Codex-ից օգտվել, կրեդիտներ ավելացրեք կամ անցեք Pro-ի այսօր։","codex.upsellBanner.pro.headline":"Ձեր սահմանաչափը կվերակայվի {resetDate}։ Որպեսզի շարունակեք Codex-ից օգտվել, կրեդիտներ ավելացրեք այսօր։","codex.userMessage.autoResolveSync":"Ավտոմատ կերպով լուծել հակասությունները","codex.userMessage.commentCount":"{count, plural, one {# մեկնաբանություն} other {# մեկնաբանություն}}","codex.userMessage.copiedAriaLabel":"Պատճենվեց","codex.userMessage.copiedTooltip":"Պատճենվեց","codex.userMessage.copyAriaLabel":"Պատճենել հաղորդագրությունը","codex.userMessage.copyTooltip":"Պատճենել","codex.userMessage.implementPlan":"Իրականացնել պլանը","codex.userMessage.noContent":"(Բովանդակությունը բացակայում է)","codex.userMessage.priorConversation":"Նախկին խոսակցության հղում","codex.userMessage.reviewMode":"Ստուգման ռեժիմ","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}ի համար","codex.webSearch.summary.verb.completed":"Որոնումը վեբում ավարտվեց","codex.webSearch.summary.verb.inProgress":"Որոնվում է վեբում","codex.windowsInstallWslBanner.dismiss":"Փակել","codex.windowsInstallWslBanner.installWslCta":"Միացնել պաշտպանված միջավայրը","codex.windowsInstallWslBanner.learnMore":"Իմանալ ավելին","codex.windowsSandboxBanner.content":"Ագենտի ռեժիմը Windows-ում օգտագործում է փորձարարական պաշտպանված միջավայր՝ ֆայլային համակարգի և ցանցի հասանելիությունը սահմանափակելու համար։ {sandboxLink}","codex.windowsSandboxBanner.title":"Միացնել պաշտպանված միջավայրը ագենտի ռեժիմի համար","codex.windowsSubDropdown.windowsSandbox":"Windows-ի պաշտպանված միջավայր","codex.windowsSubDropdown.windowsSettings":"Windows-ի կարգավորումներ","codexUpgradeModal.body":"Codex-ն այժմ աշխատում է GPT-5.2-Codex-ով, որը մեր ամենավերջին առաջատար ագենտային ծրագրավորման մոդելն է։ Կոդավորման դեպքում այն ​​հետևյալն է՝ {link}, իսկ հետագա կատարելագործումները GPT-5.2-ով են։","codexUpgradeModal.close":"Փակել","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"ավելի խելացի և ավելի արագ","codexUpgradeModal.title":"Հենց նոր թողարկվել է Codex-ի արդիացումը","codexUpgradeModal.tryNewModel":"Փորձել GPT-5.2-Codex-ը հիմա","codexUpgradeModal.useExistingModel":"Շարունակել ընթացիկ մոդելով","commentAttachments.numComments":"{count, plural, one {# մեկնաբանություն} other {# մեկնաբանություն}}","commentAttachments.removeAriaLabel":"Հեռացնել մեկնաբանությունների կցորդը","common.close":"Փակել","composer.addContext.openFilePickerError":"Անհնար է բացել ֆայլերի ընտրիչը","composer.addContextDropdown.ariaLabel":"Ավելացրեք ֆայլեր և ավելին","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Ավելացրեք ֆայլեր և ավելին","composer.addPhotosAndFiles":"Ավելացնել լուսանկարներ և ֆայլեր","composer.atMentionList.emptyQuery":"Մուտքագրել՝ ֆայլեր որոնելու համար","composer.atMentionList.loading":"Որոնում է․․․","composer.atMentionList.noResults":"Արդյունքներ չկան","composer.attemptsSelector.option":"{count, plural, one {# տարբերակ} other {# տարբերակ}}","composer.attemptsSelector.tooltip":"Codex-ի կողմից զուգահեռ փորձերի քանակը","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Դադարեցնել","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Տեղային","composer.cloudFollowUp.whereRun":"Որտե՞ղ պետք է գործարկվի այս հետագա փորձարկումը","composer.cloudTaskCreationError":"Cloud-ի առաջադրանքը ստեղծելիս սխալ առաջացավ","composer.cloudTaskError":"Առաջադրանքը ստեղծելիս սխալ առաջացավ","composer.contextWindow.autoCompactionTooltipLine1":"Codex-ն ավտոմատ կերպով սեղմում է իր համատեքստը","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Համատեքստի պատուհան՝","composer.contextWindowUsageStatusFull":"{usage}% լցված է","composer.contextWindowUsageStatusLeft":"Օգտագործվել է {usage}% (մնացել է {remaining}%)","composer.contextWindowUsageTooltip":"{usedTokens}հզր / {contextWindow}հզր թոքեն է օգտագործվել","composer.customCliTooltip":"Օգտագործելով հատուկ CLI գործարկվող ծրագիր","composer.dictation.aria":"Թելադրել","composer.dictation.cancel.aria":"Դադարեցնել թելադրելը","composer.dictation.cancel.tooltip":"Դադարեցնել թելադրելը","composer.dictation.startError":"Հնարավոր չէ սկսել թելադրությունը","composer.dictation.submit.aria":"Տառադարձել և ուղարկել","composer.dictation.submit.tooltip":"Տառադարձել և ուղարկել","composer.dictation.tooltip":"Պահել՝ թելադրելու համար","composer.dictation.transcribeError":"Անհնար է տառադարձել աուդիոն","composer.dictation.unsupported":"Թելադրությունը հասանելի չէ այս սարքի վրա","composer.dropOverlay.holdShift":"Սեղմած պահեք {key}-ը գցելու համար","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Ստեղծել նորը","composer.environmentSelector.error":"Միջավայրերի բեռնման ընթացքում սխալ առաջացավ","composer.environmentSelector.goBack":"Վերադառնալ composer-ին","composer.environmentSelector.title":"Ընտրել միջավայր","composer.environmentSelector.tooltip":"Ընտրել cloud միջավայր","composer.feedbackSlashCommand.title":"Կարծիք","composer.filePicker.selectFile":"Ընտրեք ֆայլ","composer.filePicker.selectFiles":"Ընտրեք ֆայլեր","composer.followerTooltip":"Շարունակելու համար վերադարձեք այն պատուհանին, որից սկսվել է այս զրույցը։","composer.footer.branchSwitch.checkoutError":"Չհաջողվեց փոխել ճյուղավորումը՝ {message}","composer.footer.branchSwitch.createAndCheckout":"Ստեղծեք և գրանցեք նոր ճյուղավորում…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Գործարկել փոփոխությունները՝ նոր ճյուղավորում ստեղծելու և գրանցելու համար","composer.footer.branchSwitch.createBranchError":"Չհաջողվեց ստեղծել ճյուղավորում՝ {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Ճյուղավորման անվանում","composer.footer.branchSwitch.createDialog.branchExistsError":"Ճյուղավորումն արդեն գոյություն ունի։","composer.footer.branchSwitch.createDialog.close":"Փակել","composer.footer.branchSwitch.createDialog.createAndCheckout":"Ստեղծեք և գրանցեք","composer.footer.branchSwitch.createDialog.placeholder":"նոր-ճյուղավորում","composer.footer.branchSwitch.createDialog.title":"Ստեղծեք և գրանցեք նոր ճյուղավորում","composer.footer.branchSwitch.createDialog.trailingSlashError":"Ճյուղավորման անվանումը չի կարող ավարտվել «/» նշանով։","composer.footer.branchSwitch.tooltip":"Փոխել ճյուղավորումը","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Պահպանեք {fileCount, plural, one {# ֆայլ} other {# ֆայլ}}-ում կատարված փոփոխությունները՝ {branchName}-ին անցնելու համար։","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Պահպանեք","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, one {# ֆայլ} other {# ֆայլ}}-ում կատարված փոփոխությունները՝ {branchName}-ին անցնելու համար։","composer.footer.branchSwitch.uncommittedDialog.cancel":"Չեղարկել","composer.footer.branchSwitch.uncommittedDialog.commit":"Պահպանել և անցնել այլ ճյուղավորման...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Հետևյալ ֆայլերում ձեր կատարած փոփոխությունները չեն պահպանվի այլ տեղեր անցնելու դեպքում.","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Խնդրում ենք պահպանել ձեր փոփոխությունները՝ շարունակելու համար","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ընտրված ճյուղավորում","composer.footer.branchSwitch.uncommittedDialog.title":"Պահպանեք կատարված փոփոխությունները՝ այլ ճյուղավորում անցնելու համար","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Չգործարկված՝ {fileCount, plural, one {# ֆայլ} other {# ֆայլ}}","composer.forkSlashCommand.description":"Ստեղծեք այս շարքի առանձին պատճեն տեղային միջավայրում կամ նոր worktree-ում","composer.forkSlashCommand.option.local.description":"Շարունակեք նոր տեղային շարքում","composer.forkSlashCommand.option.local.title":"Ստեղծել առանձին պատճեն տեղային միջավայրում","composer.forkSlashCommand.option.worktree.description":"Շարունակեք նոր worktree-ում","composer.forkSlashCommand.option.worktree.title":"Ստեղծել առանձին պատճեն նոր worktree-ում","composer.forkSlashCommand.title":"Պատճենել","composer.imageInputsUnsupported":"Այս մոդելը չի ​​աջակցում պատկերի մուտքագրումը։ Փորձեք այլ մոդել։","composer.imageUploadFailed":"Չհաջողվեց վերբեռնել պատկերը","composer.includeIdeContextDropdown":"Ներառել IDE համատեքստ","composer.includeIdeContextDropdown.ariaLabel":"Ներառել IDE համատեքստ","composer.localCwdDropdown.addWorkspaceRoot":"Ավելացնել նոր նախագիծ","composer.localCwdDropdown.noActiveRoot":"Ընտրեք ձեր նախագիծը","composer.localCwdDropdown.noResults":"Պանակներ չեն գտնվել","composer.localCwdDropdown.title":"Ընտրեք ձեր նախագիծը","composer.localTaskError":"Խոսակցությունը սկսելու ընթացքում սխալ է առաջացել","composer.mcpSlashCommand.description":"Ցուցադրել MCP սերվերի կարգավիճակը","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Իսկորոշված չէ","composer.mcpStatus.authOauth":"Իսկորոշված է (OAuth)","composer.mcpStatus.authToken":"Իսկորոշված է (API բանալի)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Փակել","composer.mcpStatus.disabled":"Անջատված","composer.mcpStatus.emptyLabel":"Սերվերներ՝","composer.mcpStatus.emptyValue":"Կազմաձևված MCP սերվերներ չկան","composer.mcpStatus.enabled":"Միացված","composer.mcpStatus.errorLabel":"Կարգավիճակ՝","composer.mcpStatus.errorValue":"Անհնար է բեռնել MCP կարգավիճակը","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Ագենտ","composer.mode.agentMode.auto.dropdownLabel":"Ագենտ","composer.mode.agentMode.auto.optionLabel":"Ագենտ","composer.mode.agentMode.changePermission":"Անցնել այլ ռեժիմի","composer.mode.agentMode.custom":"Հարմարեցված","composer.mode.agentMode.custom.dropdownLabel":"Հարմարեցված","composer.mode.agentMode.custom.option":"Հարմարեցրած (config.toml)","composer.mode.agentMode.custom.optionLabel":"Հարմարեցրած (config.toml)","composer.mode.agentMode.customInfo.cancel":"Չեղարկել","composer.mode.agentMode.customInfo.cli":"Կարող եք ճշգրտել այդ կարգավորումները CLI-ից կամ ուղղակիորեն ֆայլը խմբագրելով։","composer.mode.agentMode.customInfo.confirm":"Օգտագործել հատուկ ռեժիմը","composer.mode.agentMode.customInfo.description":"Հատուկ ռեժիմը կիրառում է սահմանված հաստատման և փորձարկման միջավայրի կանոնները՝ սահմանված ձեր <link>config.toml</link> ֆայլում։","composer.mode.agentMode.customInfo.docs":"Իմանալ ավելին հաստատման և փորձարկման միջավայրի կանոնների կազմաձևման մասին <link>կատարման միջավայրի փաստաթղթերում</link>։","composer.mode.agentMode.customInfo.refresh":"Ցանկացած փոփոխություն ուժի մեջ կմտնի ագենտի հաջորդ գործարկման ժամանակ։","composer.mode.agentMode.customInfo.title":"Ինչպես է աշխատում հատուկ ռեժիմը","composer.mode.agentMode.fullAccess":"Ագենտ (լիարժեք հասանելիություն)","composer.mode.agentMode.fullAccess.dropdownLabel":"Ագենտ (լիարժեք հասանելիություն)","composer.mode.agentMode.fullAccess.optionLabel":"Ագենտ (լիարժեք հասանելիություն)","composer.mode.agentMode.fullAccessConfirm.caution":"Զգույշ եղեք լիարժեք հասանելիություն տրամադրելիս։ Սա զգալիորեն մեծացնում է տվյալների կորստի, արտահոսքի կամ անսպասելի վարքագծի ռիսկը։","composer.mode.agentMode.fullAccessConfirm.confirm":"Այո, միևնույն է շարունակել","composer.mode.agentMode.fullAccessConfirm.description":"Երբ Codex-ը աշխատում է լիարժեք հասանելիությամբ, այն կարող է խմբագրել ձեր համակարգչի ցանկացած ֆայլ և հրամաններ գործարկել ցանցով՝ առանց ձեր հաստատման։","composer.mode.agentMode.fullAccessConfirm.goBack":"Չեղարկել","composer.mode.agentMode.fullAccessConfirm.title":"Տրամադրել լիարժեք հասանելիությո՞ւն","composer.mode.agentMode.readOnly":"Զրույց","composer.mode.agentMode.readOnly.dropdownLabel":"Զրույց","composer.mode.agentMode.readOnly.optionLabel":"Զրույց","composer.mode.agentMode.tooltip":"Անցնել այլ ռեժիմի","composer.mode.agentMode.tooltip.auto":"Կարդալ և փոփոխել ֆայլերը, գործարկել հրամանները։","composer.mode.agentMode.tooltip.custom":"Օգտագործել config.toml-ում սահմանված հաստատման և փորձարկման միջավայրի վերջին կանոնները։","composer.mode.agentMode.tooltip.fullAccess":"Codex-ը կարող է խմբագրել ֆայլեր այս նախագծից դուրս և գործարկել հրամաններ ցանցային հասանելիությամբ։ Օգտագործելիս զգույշ եղեք։","composer.mode.agentMode.tooltip.readOnly":"Պահանջվում է հաստատում՝ ֆայլերը խմբագրելու և հրամաններ գործարկելու համար։","composer.mode.cloud.tooltip":"Աշխատել cloud միջավայրում","composer.mode.contactAdmin":"Ավելի շատ հասանելիություն ստանալու համար կապվեք ձեր ադմինիստրատորի հետ","composer.mode.local":"Տեղային","composer.mode.local.learnMore":"Իմանալ ավելին","composer.mode.local.model.custom":"Հարմարեցված","composer.mode.local.model.loadingModel":"Մոդելը բեռնվում է","composer.mode.local.model.selecrReasoningEffort":"Ընտրեք տրամաբանումը","composer.mode.local.model.selectModel":"Ընտրեք մոդել","composer.mode.local.model.tooltip":"Ընտրել մոդել","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Բարձր","composer.mode.local.reasoning.low.label":"Ցածր","composer.mode.local.reasoning.medium.label":"Միջին","composer.mode.local.reasoning.minimal.label":"Նվազագույն","composer.mode.local.reasoning.none.label":"Չկա","composer.mode.local.reasoning.xhigh.label":"Շատ բարձր","composer.mode.localRemoteWhereRun":"Ընտրեք, թե որտեղ գործարկել առաջադրանքը","composer.mode.newTask.header":"Շարունակել","composer.mode.rateLimit.day":"{days} օր","composer.mode.rateLimit.heading":"Մնացած սակագնային սահմանաչափեր","composer.mode.rateLimit.hour":"{hours} ժ","composer.mode.rateLimit.minute":"{minutes} ր","composer.mode.rateLimit.modelSectionLabel":"{modelName}-ի սահմանաչափ՝","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {շաբաթական սահմանաչափ} other {սահմանաչափ {weeks} շաբաթվա համար}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Ամեն շաբաթ} other {{weeks} շաբաթ}}","composer.mode.remote.connectToCloud":"Կապակցել Codex վեբին","composer.mode.remote.connectToCloudDisabledTooltip":"Ստեղծեք միջավայր Codex վեբի միջոցով՝ առաջադրանքները cloud ուղարկելու հնարավորություն ստանալու համար","composer.mode.remote.selectEnvironment":"Ընտրել միջավայր","composer.mode.remote.sendToCloud":"Ուղարկել cloud","composer.mode.remote.setupViaWeb":"Ստեղծել միջավայր Codex վեբի միջոցով","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Աշխատել cloud միջավայրում","composer.mode.segmentedToggle.local.tooltip":"Աշխատեք ձեր տեղային նախագծում","composer.mode.segmentedToggle.worktree.tooltip":"Աշխատել զուգահեռ worktree-ում","composer.mode.upgradeToPlus":"Անցնել Plus-ի","composer.mode.upgradeToPro":"Անցնել Pro-ի","composer.mode.workLocally":"Տեղային նախագիծ","composer.mode.workLocally.currentBranchFallback":"ձեր ճյուղավորումը","composer.mode.workLocally.tooltip":"Աշխատել {branchName}-ի վրա","composer.mode.worktree":"Նոր worktree","composer.mode.worktree.submoduleWarning":"Այս պահոցն ունի git-ի ենթամոդուլներ։ Worktree-ի ստեղծումը կարող է ձախողվել","composer.mode.worktree.tooltip":"Ստեղծեք ձեր տեղային աշխատատարածքի պատճենը՝ զուգահեռաբար աշխատելու համար","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Խոսակցության ընթացքում մոդելի փոփոխումը կհանգեցնի արդյունավետության նվազեցմանը։","composer.newChat.heading.browser":"Ի՞նչ կոդավորենք հաջորդիվ","composer.permissionsDropdown.custom.label":"Հարմարեցրած (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Հարմարեցրած (config.toml)","composer.permissionsDropdown.default.label":"Կանխադրված թույլտվություններ","composer.permissionsDropdown.default.optionLabel":"Կանխադրված թույլտվություններ","composer.permissionsDropdown.fullAccess.disabled":"Լիարժեք հասանելիությունն անջատված է requirements.toml-ի կողմից","composer.permissionsDropdown.trigger.tooltip":"Փոփոխել թույլտվությունները","composer.personalitySlashCommand.description.friendly":"Ջերմ, համագործակցային և օգտակար","composer.personalitySlashCommand.description.pragmatic":"Սեղմ, առաջադրանքի վրա կենտրոնացած և ուղիղ","composer.personalitySlashCommand.label.friendly":"Սիրալիր","composer.personalitySlashCommand.label.pragmatic":"Պրագմատիկ","composer.personalitySlashCommand.notApplicableSuffix":"(Չի վերաբերում ընթացիկ մոդելին)","composer.personalitySlashCommand.title":"Անհատականություն","composer.placeholder.cloudFollowUp.directFollowUp":"Հետևեք cloud-ի այս առաջադրանքին","composer.placeholder.cloudFollowUp.local":"Ստեղծեք նոր տեղային առաջադրանք, որը հղում է կատարում cloud-ի այս առաջադրանքին","composer.placeholder.cloudFollowUp.workingTree":"Ստեղծեք cloud-ի նոր առաջադրանք, որը ներառում է ձեր ընթացիկ կոդը և հղում կկատարի այս առաջադրանքին","composer.placeholder.localFollowUp.cloud":"Շարունակել նոր ամպային առաջադրանքում","composer.placeholder.localFollowUp.locally":"Խնդրել լրացուցիչ փոփոխություններ","composer.placeholder.newTask.cloud":"Խնդրեք Codex-ին անել ցանկացած բան cloud-ում","composer.placeholder.newTask.doAnything":"Խնդրեք Codex-ին անել ցանկացած բան","composer.placeholder.newTask.locally":"Հարցրեք Codex-ին ցանկացած բան՝ դնելով «@» նշանը՝ ֆայլեր ավելացնելու համար, «/» նշանը՝ հրամանների համար","composer.planModeDropdown":"Պլանավորման ռեժիմ","composer.planModeDropdown.ariaLabel":"Պլանավորման ռեժիմ","composer.planModeIndicator":"Փաթեթ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Անջատել պլանավորման ռեժիմը","composer.planSlashCommand.enableDescription":"Միացնել պլանավորման ռեժիմը","composer.planSlashCommand.title":"Պլանավորման ռեժիմ","composer.priorContext.label":"Նախորդ համատեքստը","composer.priorContext.removeAriaLabel":"Հեռացնել նախորդ համատեքստը","composer.queuedMessage.delete":"Ջնջել հերթում եղած հաղորդագրությունը","composer.queuedMessage.edit":"Խմբագրել հաղորդագրությունը","composer.queuedMessage.more":"Հերթում եղած հաղորդագրությունների հետ կապված գործողություններ","composer.queuedMessage.sendNow":"Ուղարկել հիմա","composer.queuedMessage.turnOff":"Անջատել հերթագրումը","composer.reasoningEffort.local.reasoning.tooltip":"Ընտրեք տրամաբանման չափը","composer.remote.branchStartingPoint":"Ի՞նչ ճյուղավորումից պետք է սկսվի տվյալ առաջադրանքը","composer.remote.branchesSectionHeading":"Branch-ներ","composer.remote.currentEditsSuffix.followUp":"Ստեղծեք նոր առաջադրանք, որը հղում է կատարում cloud-ի այս առաջադրանքին։","composer.remote.currentEditsSuffix.useLocal":"տեղային կոդի փոփոխություններով","composer.remote.directFollowUp":"Մի օգտագործեք տեղային փոփոխությունները","composer.remote.errorLoadingBranches":"Չհաջողվեց բեռնել branch-ները","composer.remote.fromBranch":"{branch}-ից","composer.remote.fromCurrentBranch":"{branch}-ից (ընթացիկ)","composer.remote.loadingMoreBranches":"Բեռնվում է․․․","composer.remote.localFileStateHeading":"Տեղային ֆայլի կարգավիճակ","composer.remote.localWorkingTree":"Օգտագործել տեղային փոփոխությունները","composer.remote.startingPoint":"Ի՞նչ կոդից պետք է սկսվի տվյալ առաջադրանքը","composer.reviewMode.branches.error":"Հնարավոր չէ բեռնել branch-ները","composer.reviewMode.branches.retry":"Կրկին փորձել","composer.reviewMode.gitRoot.error":"Git root-ը չի գտնվել","composer.reviewMode.option.baseBranch.simple":"Ստուգել բազային branch-ի համեմատ","composer.reviewMode.option.unstaged.simple":"Ստուգել չհաստատված փոփոխությունները","composer.reviewMode.quickReviewError":"Կոդի ստուգումը չհաջողվեց սկսել։","composer.reviewMode.title":"Կոդի ստուգում","composer.sandboxButton.unlock.disabled.tooltip":"Լիարժեք հասանելիությունն անջատված է requirements.toml-ի կողմից","composer.sandboxButton.windowsSandboxDialog.content":"Codex-ը Windows-ում կարող է օգտագործել փորձարարական պաշտպանված միջավայր՝ ֆայլային համակարգի և ցանցի հասանելիությունը սահմանափակելու համար։ {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Միացնե՞լ Windows-ի պաշտպանված միջավայրը","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Օգտագործել միայն կարդալու տարբերակը","composer.searchEnvironments":"Որոնեք միջավայրեր","composer.skillMentionList.app":"Հավելված","composer.skillMentionList.loading":"Հմտությունները բեռնվում են...","composer.skillMentionList.noResults":"Հմտություններ չեն գտնվել","composer.slashCommands.cloudEnvironment.title":"Cloud միջավայր","composer.slashCommands.dialogLabel":"Slash հրահանգի ընտրացանկ","composer.slashCommands.dialogTitle":"Slash հրահանգներ","composer.slashCommands.disabledTooltip":"Սկսեք նոր զրույց՝ slash հրահանգներն օգտագործելու համար","composer.slashCommands.inputPlaceholder":"Որոնեք","composer.slashCommands.noResults":"Ոչ մի հրահանգ","composer.slashCommands.skillsGroup":"Հմտություններ","composer.slashCommands.tooltip":"Դիտարկեք slash հրահանգները","composer.status.close":"Փակել","composer.statusPlain.alertLabel":"Զգուշացում.","composer.statusPlain.alertValue":"{remaining}% դեռևս առկա է {window}","composer.statusPlain.contextLabel":"Համատեքստ.","composer.statusPlain.contextTotal":"{count} հազար","composer.statusPlain.contextValueMetadata":"(օգտագործվել է {used} / {total})","composer.statusPlain.contextValueRemaining":"Մնացել է {remaining}%","composer.statusPlain.heading":"Կարգավիճակ","composer.statusPlain.modelRateLimitSectionLabel":"{modelName}-ի սահմանաչափ՝","composer.statusPlain.rateLimitDays":"{count} օրվա սահմանաչափ","composer.statusPlain.rateLimitFallbackLabel":"Սահմանաչափ՝","composer.statusPlain.rateLimitHours":"{count} ժամվա սահմանաչափ","composer.statusPlain.rateLimitLabelBase":"Սահմանաչափ՝","composer.statusPlain.rateLimitMinutes":"{count} րոպեի սահմանաչափ","composer.statusPlain.rateLimitPercent":"Մնացել է {remaining}%","composer.statusPlain.rateLimitReset":"վերակայումը՝ {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"վերակայման ժամկետն անհասանելի է","composer.statusPlain.rateLimitUnavailable":"Հասանելի չէ","composer.statusPlain.sessionCopiedAriaLabel":"Աշխատաշրջանի ID-ն պատճենվեց","composer.statusPlain.sessionCopiedTooltip":"ID-ն պատճենվեց","composer.statusPlain.sessionCopyAriaLabel":"Պատճենել աշխատաշրջանի ID-ն","composer.statusPlain.sessionCopyTooltip":"Պատճենել ID-ն","composer.statusPlain.sessionLabel":"Աշխատաշրջան՝","composer.statusSlashCommand.description":"Ցուցադրում է շարքի ID-ն, համատեքստի օգտագործումը և սահմանաչափերը","composer.statusSlashCommand.title":"Կարգավիճակ","composer.submit.blockedDialogOk":"Լավ","composer.submit.blockedDialogTitle":"Չհաջողվեց ուղարկել հաղորդագրությունը","composer.submit.emptyMessage":"Մուտքագրեք հաղորդագրություն՝ սկսելու համար","composer.submit.imageInputsUnsupported":"Այս հաղորդագրությունն ուղարկելու համար հեռացրեք պատկերները կամ փոխեք մոդելները։","composer.submit.loadingLocalConfig":"Բեռնվում է․․․","composer.submit.missingCloudConfig":"Դուք պետք է ընտրեք cloud միջավայր","composer.submit.missingCloudTurn":"Հնարավոր չէ այս առաջադրանքով լրացուցիչ հարցում անել","composer.submit.noWorkspace":"Ավելացնել նախագիծ՝ Codex-ն օգտագործելու համար","composer.submit.waitForImageUploads":"Պատկերները բեռնվում են…","composer.submitButtonTooltip.send":"Ուղարկել","composer.submitButtonTooltip.stop":"Դադարեցնել","composer.worktreeEnvironment.create":"Ստեղծել տեղային միջավայր","composer.worktreeEnvironment.default":"Կանխադրված միջավայր","composer.worktreeEnvironment.error":"Միջավայրերի բեռնման ընթացքում սխալ առաջացավ","composer.worktreeEnvironment.loading":"Միջավայրերը բեռնվում են․․․","composer.worktreeEnvironment.title":"Տեղային միջավայր","composer.worktreeEnvironment.tooltip":"Ընտրել տեղային միջավայր","composer.worktreeSetupFailed":"Worktree-ի տեղադրումը չհաջողվեց։ Անցեք .codex/environments՝ կարգավորման սկրիպտի համար։","compoundButton.secondaryAction":"Երկրորդական գործողություն","copyButton.copied":"Պատճենվեց","copyButton.copiedAriaLabel":"Պատճենվեց","copyButton.copy":"Պատճենել","copyButton.copyAriaLabel":"Պատճենել","copyButton.copyCode":"Պատճենել կոդը","diff.actionButton.revertFile":"Հետադարձել ֆայլը","diff.actionButton.revertHunk":"Չեղարկել","diff.actionButton.revertSection":"Հետադարձել բոլորը","diff.actionButton.revertSectionLabel":"Հետադարձել բոլորը","diff.actionButton.stageFile":"Նախապատրաստել ֆայլը","diff.actionButton.stageHunk":"Նախապատրաստել","diff.actionButton.stageSection":"Նախապատրաստել բոլորը","diff.actionButton.stageSectionLabel":"Նախապատրաստել բոլորը","diff.actionButton.unstageFile":"Չեղարկել ֆայլի նախապատրաստումը","diff.actionButton.unstageHunk":"Չեղարկել նախապատրաստումը","diff.actionButton.unstageSection":"Չեղարկել բոլորի նախապատրաստումը","diff.actionButton.unstageSectionLabel":"Չեղարկել բոլորի նախապատրաստումը","diff.fileHeader.toggle":"Միացնել/անջատել ֆայլի diff-ը","electron.onboarding.login.apikey.cancel":"Չեղարկել","electron.onboarding.login.apikey.continue":"Շարունակել","electron.onboarding.login.apikey.label":"OpenAI-ի API բանալի","electron.onboarding.login.apikey.open":"Մուտքագրել API բանալին","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Չեղարկել մուտքը","electron.onboarding.login.chatgpt.continue":"Շարունակել ChatGPT-ով","electron.onboarding.login.devbox":"Կապակցել հեռակա SSH-ին","electron.onboarding.login.error":"Չհաջողվեց մուտք գործել․ {rawMessage}","electron.onboarding.login.snake.start":"Խաղալ Snake","electron.onboarding.login.sshConfig.cancel":"Չեղարկել","electron.onboarding.login.sshConfig.continue":"Շարունակել","electron.onboarding.login.sshConfig.hostnameLabel":"SSH հոսթի անունը","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Ագենտների միջոցով կառուցելու լավագույն միջոցը","electron.onboarding.login.title":"Բարի գալուստ Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Շարունակել","electron.onboarding.welcome.doubleLimits.description":"Codex հավելվածի թողարկման կապակցությամբ մինչև ապրիլի 2-ը գործում են 2× սահմանաչափեր։","electron.onboarding.welcome.freego.description":"Codex-ը ներառված է ձեր սակագնային փաթեթում անվճար մինչև մարտի 2-ը. եկեք սկսենք ստեղծել միասին։","electron.onboarding.welcome.new.title.anon":"Բարի գալուստ","electron.onboarding.workspace.continue":"Շարունակել","electron.onboarding.workspace.empty":"Շարունակելու համար ավելացրեք նախագիծ։","electron.onboarding.workspace.listLabel":"Հասանելի նախագծեր","electron.onboarding.workspace.loading":"Նախագծերը բեռնվում են․․․","electron.onboarding.workspace.openFolder":"Ավելացնել նախագիծ","electron.onboarding.workspace.selectAll":"Ընտրել բոլորը","electron.onboarding.workspace.skip":"Բաց թողնել","electron.onboarding.workspace.skip.error":"Չհաջողվեց ստեղծել նոր նախագիծ՝ {message}","electron.onboarding.workspace.skip.error.unknown":"Անհայտ սխալ","electron.onboarding.workspace.skipping":"Նոր նախագիծը ստեղծվում է…","electron.onboarding.workspace.subtitle":"Codex-ը հնարավորություն կունենա խմբագրելու ֆայլեր և գործարկելու հրահանգներ ընտրված պանակներում։","electron.onboarding.workspace.title":"Ընտրել նախագիծ","errorPage.list.checkSettings":"Փորձեք թարմացնել ձեր IDE կարգավորումները","errorPage.list.configToml":"Ստուգեք ձեր config.toml ֆայլը անվավեր կարգավորումների համար","errorPage.list.downloadExtension":"Փորձեք ներբեռնել ընդլայնման այլ տարբերակ","errorPage.list.runInWsl":"Ստուգեք ձեր կարգավորումները՝ WSL-ում աշխատանքը անջատելու համար, եթե տեսնում եք համատեղելիության խնդիրներ","execApprovalRequest.menu.runAlways":"Այո, և այս աշխատաշրջանի ընթացքում այլևս պետք չէ հարցնել","execApprovalRequest.menu.runAlwaysWithAmendment":"Այո, և այլևս մի հարցրու այն հրահանգների համար, որոնք սկսվում են {command}-ով","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Այո, և այլևս մի հարցրու այն հրահանգների համար, որոնք սկսվում են այսպես՝","execApprovalRequest.menu.runOnce":"Այո","execApprovalRequest.prompt":"Ուզո՞ւմ եք գործարկել այս հրամանը","execApprovalRequest.reject":"Ոչ","execFooter.exitCode":"Դուրս գալ {code} կոդից","execFooter.exitCode.unknown":"անհայտ","execFooter.success":"Հաջողվեց","feedback.dialog.category.badResult":"Վատ արդյունք","feedback.dialog.category.bug":"Վրիպակ","feedback.dialog.category.goodResult":"Լավ արդյունք","feedback.dialog.category.other":"Այլ","feedback.dialog.descriptionPlaceholder":"Նկարագրեք խնդիրն այստեղ","feedback.dialog.dismiss":"Փակել","feedback.dialog.includeLogsLabel":"Ներառել Codex-ի ընթացիկ աշխատաշրջանի մատյանները","feedback.dialog.submit":"Ուղարկել","feedback.dialog.submitError":"Չկարողացանք ուղարկել ձեր կարծիքը։ Խնդրում ենք կրկին փորձել մի փոքր ուշ։","feedback.dialog.title":"Կարծիք","feedback.dialog.uploadedMessage.existingIssue":"առկա բաց խնդիր","feedback.dialog.uploadedMessage.openIssue":"Բացել GitHub-ի խնդիրը","feedback.dialog.uploadedMessage.withThread":"Կարծիքը վերբեռնված է։ Եթե խնդիրը շարունակվում է, խնդրում ենք {openIssueLink} կամ նշել շարքի ID-ն այստեղ՝ {existingIssueLink}։","feedback.dialog.uploadedTitle":"Կարծիքը վերբեռնված է","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Հեռացնել {filename}","header.back":"Հետ","header.recentChats":"Առաջադրանքներ","header.recentTasks.seeAll":"Դիտել բոլորը ({total})","home.header.getPlus":"Ձեռք բերել Plus-ը","home.hero.letsBuild":"Եկեք սկսենք","homePage.mainContent":"Հիմնական բովանդակություն","imageAttachment.defaultName":"պատկեր","imageAttachment.preview.close":"Փակել պատկերի նախադիտումը","imageAttachment.removeAriaLabel":"Հեռացնել {filename}","implementPlanRequest.option.implement":"Այո, իրականացնել այս պլանը","implementPlanRequest.prompt":"Իրականացնե՞լ այս պլանը","inbox.archived.deleteError":"Չհաջողվեց ջնջել արխիվացված գործարկումը","inbox.archived.deleteRun":"Ջնջել արխիվացված գործարկումը","inbox.archived.deleteSuccess":"Արխիվացված շարքը ջնջվեց։ Դիտեք <settingsLink>Արխիվացված շարքերում</settingsLink>։","inbox.archived.inlineLabel.auto":"Այս շարքն ավտոմատ կերպով արխիվացվեց։ <learnMoreLink>Իմանալ ավելին</learnMoreLink>","inbox.archived.inlineLabel.manual":"Այս շարքն արխիվացվեց։","inbox.archived.noMessageFound":"Հաղորդագրություն չգտնվեց","inbox.automations.createError":"Չստացվեց ստեղծել ավտոմատացում","inbox.automations.deleteConfirm.cancel":"Չեղարկել","inbox.automations.deleteConfirm.confirm":"Ջնջել ավտոմատացումը","inbox.automations.deleteConfirm.description":"Սա ընդմիշտ կջնջի ավտոմատացումը և կկանգնեցնի ապագա բոլոր գործարկումները։","inbox.automations.deleteConfirm.title":"Ջնջե՞լ {name}-ը","inbox.automations.deleteError":"Չհաջողվեց ջնջել ավտոմատացումը","inbox.automations.editTooltip":"Խմբագրել ավտոմատացումը","inbox.automations.inProgress":"Ընթացքում է","inbox.automations.new":"Նոր","inbox.automations.newToolbar":"Նոր ավտոմատացում","inbox.automations.pauseTooltip":"Դադարեցնել ավտոմատացումը","inbox.automations.resumeTooltip":"Վերսկսել ավտոմատացումը","inbox.automations.startingNow":"Մեկնարկում է հիմա","inbox.automations.startsIn":"Սկիզբը՝ {startTime}","inbox.automations.status.active":"Ակտիվ","inbox.automations.status.paused":"Դադարեցված","inbox.automations.status.runs":"{count} գործարկում","inbox.automations.status.started":"Սկսվել է՝ {date}","inbox.automations.updateError":"Չստացվեց թարմացնել ավտոմատացումը","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Բոլորը","inbox.filter.ariaLabel":"Զտել մուտքային արկղի տարրերը","inbox.filter.unread":"Չկարդացված","inbox.list.archived":"Արխիվացված","inbox.list.inProgress":"Ընթացքում է","inbox.list.recent":"Ավարտվել է","inbox.list.upNext":"Պլանավորված","inbox.mode.automations":"Ավտոմատացումներ","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Նկարագրություն չի տրամադրվել","inbox.openThread":"Բացել շարքը","inbox.rightPanel.emptySubtitle":"Ավտոմատացրեք աշխատանքը՝ սահմանելով պլանավորված առաջադրանքներ","inbox.rightPanel.emptySubtitle.learnMore":"Ավտոմատացրեք աշխատանքը՝ սահմանելով պլանավորված շարքեր։ <link>Իմանալ ավելին</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# ակտիվ ավտոմատացում} other {# ակտիվ ավտոմատացում}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Չկարդացված ավտոմատացումներ չկան","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# չկարդացված ավտոմատացում} other {# չկարդացված ավտոմատացում}}","inbox.rightPanel.emptyTitle":"Ընտրված տարր չկա","inbox.rightPanel.noThread":"Այս մուտքային նամակը շարք չունի","inbox.rightPanel.quickStart.header":"Սկսեք ձևանմուշի միջոցով","inbox.untitled":"Չվերնագրված մուտքային","loadingPage.documentationLink":"փաստաթղթեր","loadingPage.errorDescription":"Codex-ը խափանվեց հետևյալ սխալի պատճառով.","loadingPage.errorDescription.documentation":"Սեղմեք կրկին բեռնել՝ Codex ընդլայնումը վերագործարկելու համար, կամ այցելեք մեր {documentationLink}՝ լրացուցիչ օգնության համար։","loadingPage.errorSignal":"Մի քանի բան, որոնք կարելի է փորձել.","loadingPage.errorTitle":"Սխալ առաջացավ","loadingPage.openConfigToml":"Բացել Config.toml ֆայլը","loadingPage.reload":"Կրկին բեռնել","localConversation.contextCompacted":"Համատեքստն ավտոմատ կերպով սեղմվել է","localConversation.contextCompacting":"Համատեքստն ավտոմատ կերպով սեղմվում է","localConversation.forkedFromConversation":"Պատճենվել է {threadTitle}-ից","localConversation.merge.autoResolve.failed":"Չհաջողվեց ավտոմատ լուծման հարցում ուղարկել. {error}","localConversation.merge.autoResolve.sent":"Ավտոմատ լուծման հարցումն ուղարկվեց","localConversation.merge.autoResolveMerge.missingConversation":"Անհնար է ավտոմատ լուծում իրականացնել առանց ակտիվ խոսակցության։","localConversation.merge.autoResolveMerge.request":"Ավտոմատ կերպով լուծել միավորման կոնֆլիկտները","localConversation.modelChanged":"Մոդելը փոխվել է {fromModel}-ից {toModel}-ի։","localConversation.modelChanged.warning.line1":"Խոսակցության ընթացքում մոդելի փոփոխումը կհանգեցնի արդյունավետության նվազեցմանը։","localConversation.modelChanged.warning.line2":"Համատեքստը կարող է ավտոմատ կերպով սեղմվել։","localConversation.moveThread.createBranch.label":"Ստեղծել ճյուղավորում","localConversation.moveToLocal.disabled.loading":"Բեռնվում է․․․","localConversation.moveToLocal.modal.continue":"Շարունակել","localConversation.moveToLocal.modal.destinationLabel":"Տեղափոխել","localConversation.moveToLocal.modal.retry":"Կրկին փորձել","localConversation.moveToWorktree.modal.back":"Հետ","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Ճյուղավորումն արդեն գոյություն ունի։","localConversation.moveToWorktree.modal.branchesError":"Հնարավոր չէ բեռնել branch-ները","localConversation.moveToWorktree.modal.branchesLoading":"Ճյուղավորումները բեռնվում են․․․","localConversation.moveToWorktree.modal.branchesRetry":"Կրկին փորձել","localConversation.moveToWorktree.modal.continue":"Շարունակել","localConversation.moveToWorktree.modal.retry":"Կրկին փորձել","localConversation.moveToWorktree.modal.trailingSlashError":"Ճյուղավորման անվանումը չի կարող ավարտվել «/» նշանով։","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"նոր-ճյուղավորում","localConversation.personalityChanged":"Անցում է արվել {personality} անհատականությանը","localConversation.planSummary.collapse":"Ծալել փաթեթի ամփոփագիրը","localConversation.planSummary.collapseTooltip":"Ծալել","localConversation.planSummary.download":"Ներբեռնել փաթեթը","localConversation.planSummary.expand":"Ընդլայնել փաթեթի ամփոփագիրը","localConversation.planSummary.expandTooltip":"Ծավալել","localConversation.planSummary.openInNewWindow":"Բացել","localConversation.planSummary.openInNewWindow.tooltip":"Բացել նոր պատուհանում","localConversation.planSummary.title":"Փաթեթ","localConversation.planSummary.titleWriting":"Գրելու պլան","localConversation.planSummary.viewPlan":"Ընդլայնել փաթեթը","localConversation.remoteTaskCreated":"Ստեղծեց {taskLink} Codex Cloud-ում","localConversation.remoteTaskCreated.task":"առաջադրանք","localConversation.scrollToBottomButton":"Ոլորել դեպի վար","localConversation.sync.buttonLabel":"Փոխանցել տեղայինին","localConversation.sync.buttonLabel.tooltip":"Փոխանցեք փոփոխությունները այս worktree-ի և ձեր տեղական checkout-ի միջև։","localConversation.sync.modal.loading.title":"Փոփոխությունները փոխանցվում են…","localConversation.sync.modal.noChanges":"Փոփոխություններ չկան","localConversation.syncSetup.branchAriaLabel":"Ճյուղավորման անվանում","localConversation.syncSetup.branchName":"Ճյուղավորման անվանում","localConversation.syncSetup.branchPlaceholder.existing":"Ընտրեք առկա ճյուղավորում","localConversation.syncSetup.branchPlaceholder.new":"codex/նոր-գործառույթ","localConversation.syncSetup.branchesLoading":"Ճյուղավորումները բեռնվում են․․․","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Արդեն դուրս է եկել","localConversation.syncSetup.checkoutClean":"Այս պահին {branchName}","localConversation.syncSetup.checkoutDirty":"Այս պահին {branchName}՝ չհաստատված փոփոխություններով","localConversation.syncSetup.checkoutError":"Չհաջողվեց ստուգել ճյուղավորումը՝ {message}","localConversation.syncSetup.checkoutLabel":"Ստուգել տեղային մակարդակում հիմա","localConversation.syncSetup.checkoutOnLocal":"Փոխանցել տեղայինին","localConversation.syncSetup.checkoutPending":"Տեղային կարգավիճակը ստուգվում է …","localConversation.syncSetup.checkoutUnavailable":"Տեղային աշխատատարածքը հասանելի չէ","localConversation.syncSetup.checkoutUnknown":"Տեղային ճյուղավորումը հասանելի չէ","localConversation.syncSetup.continue":"Շարունակել","localConversation.syncSetup.createBranchError":"Չհաջողվեց սահմանել փոխանցման ճյուղը՝ {message}","localConversation.syncSetup.error":"Սխալ առաջացավ. {message}","localConversation.syncSetup.error.workingTreeMissing":"Չհաջողվեց ստեղծել worktree-ի կադրը։ Խնդրում ենք կրկին փորձել փոխանցումը։","localConversation.syncSetup.mode.ariaLabel":"Ընտրել ճյուղավորման ռեժիմը","localConversation.syncSetup.mode.existing":"Առկա ճյուղավորում","localConversation.syncSetup.mode.new":"Նոր ճյուղավորում","localConversation.syncSetup.noBranches":"Ճյուղավորումներ չեն գտնվել","localConversation.syncSetup.overwriteError":"Ճյուղավորումը ստեղծվել է, բայց ամբողջությամբ չի փոխանցվել։ Ձեռքով փոխանցեք նախքան տեղայինում ստուգելը։","localConversation.syncSetup.setPrefix":"Սահմանել նախածանց","localConversation.syncSetup.subtitle":"Փորձարկեք և խմբագրեք worktree-ի փոփոխությունները տեղային միջավայրում։ <a>Իմանալ ավելին</a>","localConversation.syncSetup.success.checkedOut":"Ճյուղավորումը ստեղծվել և ստուգվել է տեղային միջավայրում","localConversation.syncSetup.success.notCheckedOut":"Ճյուղավորումը ստեղծվեց","localConversation.syncSetup.title":"Փոխանցեք տեղային ճյուղավորմանը","localConversation.syncWorktreeError.branchAriaLabel":"Ճյուղավորման անվանում","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/նոր-գործառույթ","localConversation.syncWorktreeError.branchSetup.subtitle":"Ընտրեք ճյուղավորում՝ փոխանցումը կատարելու համար, ապա կրկին փորձեք բեռնել փոփոխությունները։","localConversation.syncWorktreeError.branchSetup.title":"Թարմացնել branch-ը","localConversation.syncWorktreeError.branchUpdate.cta":"Արդիացնել և կրկին փորձել","localConversation.syncWorktreeError.branchUpdate.error":"Չհաջողվեց թարմացնել ճյուղավորումը. {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Սխալ առաջացավ. {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Ճյուղավորումը ստուգված չէ որևէ worktree-ում։","localConversation.syncWorktreeV2.applyUncommitted":"Կիրառել","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Պետք է ստուգեք ճյուղավորումը տեղային միջավայրում՝ չհաստատված փոփոխությունները կիրառելու համար։","localConversation.syncWorktreeV2.branches.empty":"Ճյուղավորումներ չեն գտնվել","localConversation.syncWorktreeV2.branches.loading":"Ճյուղավորումները բեռնվում են․․․","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Փոխել փոխանցման ճյուղավորումը","localConversation.syncWorktreeV2.changeBranch.error":"Չհաջողվեց փոխել փոխանցման ճյուղը. {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Չհաջողվեց կիրառել","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Worktree-ի վրագրումը ձախողվեց","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Տեղայինի վրագրումը ձախողվեց","localConversation.syncWorktreeV2.commandError.back":"Հետ","localConversation.syncWorktreeV2.commandError.body":"Git հրամանը ձախողվեց փոխանցման ընթացքում։ Ստուգեք արտածումը և կրկին փորձեք։","localConversation.syncWorktreeV2.commandError.retry":"Նորից փորձել","localConversation.syncWorktreeV2.description":"Փոխանցել փոփոխությունները տեղայինի և այս worktree-ի միջև։ <a>Իմանալ ավելին</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"Ընտրել փոխանցման ուղղությունը","localConversation.syncWorktreeV2.error.generic":"Փոխանցելիս սխալ առաջացավ։ Կրկին փորձեք։","localConversation.syncWorktreeV2.localBranchLabel":"Տեղային","localConversation.syncWorktreeV2.noChanges":"Փոփոխությունները հաշվարկվում են","localConversation.syncWorktreeV2.noChanges.summary":"Փոփոխություններ չկան","localConversation.syncWorktreeV2.overwrite.local":"Վրագրել տեղային փոփոխությունները","localConversation.syncWorktreeV2.overwrite.worktree":"Վրագրել worktree-ն","localConversation.syncWorktreeV2.partial.action.applyFailed":"Չհաջողվեց կիրառել փոփոխությունները","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Չհաջողվեց վրագրել տեղային փոփոխությունները","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Չհաջողվեց վրագրել worktree-ի փոփոխությունները","localConversation.syncWorktreeV2.partial.appliedLabel":"Կիրառվել է","localConversation.syncWorktreeV2.partial.back":"Հետ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Լուծեք կոնֆլիկտները և կրկին փորձեք։","localConversation.syncWorktreeV2.partial.conflictsLabel":"Կոնֆլիկտներ","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ֆայլ} other {# ֆայլ}}","localConversation.syncWorktreeV2.partial.retry":"Նորից փորձել","localConversation.syncWorktreeV2.partial.skippedLabel":"Բաց է թողնվել","localConversation.syncWorktreeV2.stateFailed.generic":"Սխալ առաջացավ փոխանցման համար worktree-ի փոփոխությունները առբերելիս։ Խնդրում ենք կրկին փորձել։","localConversation.syncWorktreeV2.stateFailed.title":"Չհաջողվեց բեռնել worktree-ի փոփոխությունները","localConversation.syncWorktreeV2.statusError.diffUnknown":"Չհաջողվեց բեռնել worktree-ի փոփոխությունները։","localConversation.syncWorktreeV2.statusError.retry":"Նորից փորձել","localConversation.syncWorktreeV2.statusError.title":"Չհաջողվեց բեռնել տեղային ճյուղավորման փոփոխությունները","localConversation.syncWorktreeV2.statusError.unknown":"Ճյուղավորման կարգավիճակն այս պահին հասանելի չէ։ Կրկին փորձեք։","localConversation.syncWorktreeV2.success.apply":"Փոփոխությունները կիրառվեցին","localConversation.syncWorktreeV2.success.overwrite":"Փոխանցումը հաջողվեց","localConversation.syncWorktreeV2.title":"Փոխանցեք փոփոխությունները","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Տրվում է {count, plural, one {հարց} other {հարց}}","localConversation.userInputRequest.noAnswer":"Պատասխաններ չեն տրամադրվել","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Տրվեց","localConversation.userInputRequest.summary.count":"{count, plural, one {# հարց} other {# հարց}}","localConversation.workedFor":"Աշխատեց {time}","localConversation.worktreeBranchSetup.action.create":"Ստեղծել","localConversation.worktreeBranchSetup.branchAriaLabel":"Ճյուղավորման անվանում","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Ստեղծել նոր branch","localConversation.worktreeBranchSetup.checkoutDisabled":"Այս ճյուղավորումն արդեն դուրս է եկել այստեղ՝ {location}","localConversation.worktreeBranchSetup.checkoutError":"Չհաջողվեց ստուգել ճյուղավորումը. {message}","localConversation.worktreeBranchSetup.createBranchError":"Չհաջողվեց սահմանել ճյուղավորումը. {message}","localConversation.worktreeBranchSetup.error":"Սխալ առաջացավ. {message}","localConversation.worktreeBranchSetup.subtitle":"Ստեղծեք ճյուղավորում՝ այս worktree-ից փոփոխությունները հաստատելու, push-ը կատարելու և PR ստեղծելու համար։ <a>Իմանալ ավելին</a>։","localConversation.worktreeBranchSetup.title":"Աշխատեք այստեղ","localConversationPage.addWorktreeToSidebar.tooltip":"Պահպանեք որպես նախագիծ, որպեսզի կարողանաք նոր շարք սկսել այս worktree-ից","localConversationPage.addWorktreeToSidebarError":"Չհաջողվեց ավելացնել նախագիծը","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit-ը և PR-ի ստեղծումը ձախողվեցին","localConversationPage.commitAndCreatePrModal.successTitle":"Commit-ը և PR-ը ստեղծվեցին","localConversationPage.commitAndPushModal.errorTitle":"Commit-ը և push-ը ձախողվեցին","localConversationPage.commitAndPushModal.successTitle":"Փոփոխությունների commit-ը և push-ը կատարվեցին","localConversationPage.commitCreatePr.open":"Բացել Pull հարցումը","localConversationPage.commitCreatePr.successTitle":"Ձեր վերջին փոփոխություններով ստեղծվել է PR","localConversationPage.createBranchButtonLabel":"Ճյուղավորել այստեղ","localConversationPage.createPrModal.baseBranch":"Հիմք","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Ստեղծել PR","localConversationPage.createPrModal.createDescription":"Ձեր վերջին փոփոխությունների համար բացեք pull հարցում։","localConversationPage.createPrModal.errorTitle":"Pull հարցումը ձախողվեց","localConversationPage.createPrModal.headBranch":"Հիմնական ճյուղ","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Բացել PR-ը","localConversationPage.createPrModal.successTitle":"Pull հարցումը ստեղծվեց","localConversationPage.createPrModal.title":"Ստեղծեք pull հարցում","localConversationPage.createPrModal.viewDescription":"Այս ճյուղի համար արդեն գոյություն ունի pull հարցում։","localConversationPage.createPrModal.viewTitle":"Pull հարցումը պատրաստ է","localConversationPage.createPullRequestAuthGh":"Իսկորոշել GitHub CLI-ը. գործարկել «gh auth login» հրամանը","localConversationPage.createPullRequestBranchMissing":"Ճյուղավորման տվյալները հասանելի չեն","localConversationPage.createPullRequestButtonLabel":"Ստեղծել PR","localConversationPage.createPullRequestButtonLabel.loading":"PR-ը ստեղծվում է․․․","localConversationPage.createPullRequestDefaultBranchMissing":"Կանխադրված ճյուղավորման տվյալները հասանելի չեն","localConversationPage.createPullRequestError":"Չհաջողվեց ստեղծել pull հարցում","localConversationPage.createPullRequestExistingPullRequest":"Այս ճյուղի համար արդեն գոյություն ունի pull հարցում։","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI կարգավիճակը բեռնվում է...","localConversationPage.createPullRequestInstallGh":"Տեղադրել GitHub CLI-ը (gh)՝ PR-ներ ստեղծելու համար","localConversationPage.createPullRequestNoRepo":"Git պահոց չի գտնվել","localConversationPage.createPullRequestPushStatusMissing":"Push կարգավիճակը բեռնվում է...","localConversationPage.createPullRequestSetUpstream":"Հաստատեք այս ճյուղավորումը նախքան PR ստեղծելը","localConversationPage.createPullRequestSuccessToast":"Pull հարցումը ստեղծվեց","localConversationPage.createPullRequestSwitchBranch":"Ստուգեք գործառույթի ճյուղավորումը նախքան PR ստեղծելը","localConversationPage.error.render":"Տեղային խոսակցությունը արտապատկերելիս սխալ առաջացավ","localConversationPage.error.toast":"Խոսակցությունը չի գտնվել","localConversationPage.forcePushError":"Push-ը հարկադրաբար կատարել չհաջողվեց","localConversationPage.generatePullRequestMessageError":"Չհաջողվեց գեներացնել pull հարցման վերնագիրը և մարմինը","localConversationPage.generatePullRequestMessageFailed":"Չհաջողվեց գեներացնել pull հարցման վերնագիրը և մարմինը։","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Չեղարկել","localConversationPage.gitActionResult.close":"Փակել","localConversationPage.gitActionResult.tryAgain":"Նորից փորձել","localConversationPage.gitActions":"Git գործողություններ","localConversationPage.newChat":"Նոր զրույց","localConversationPage.openInTarget":"Բացել հետևյալ ծրագրով՝","localConversationPage.openPrimaryTarget":"Բացել","localConversationPage.planItemsCompleted":"{completedItems}/{totalItems, plural, one {# առաջադրանք ավարտված է} other {# առաջադրանք ավարտված է}}","localConversationPage.pushAuthError":"Push-ը ձախողվեց. պահանջվում է իսկորոշում","localConversationPage.pushBranchMissing":"Ճյուղավորման տվյալները հասանելի չեն","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Գործարկվում է․․․","localConversationPage.pushError":"Չհաջողվեց ուղարկել փոփոխությունները","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Չեղարկել","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Ձեր վերջին commit-ներն ուղարկեք հեռակա պահոց։","localConversationPage.pushModal.errorTitle":"Push-ը ձախողվեց","localConversationPage.pushModal.forcePush":"Հարկադրաբար կատարել push-ը","localConversationPage.pushModal.successTitle":"Push-ն ավարտված է","localConversationPage.pushModal.title":"Push-ի փոփոխություններ","localConversationPage.pushModal.tryAgain":"Նորից փորձել","localConversationPage.pushNoUpstream":"Այս ճյուղավորումը հաստատելուց առաջ սահմանեք upstream-ը","localConversationPage.pushNoUpstreamError":"Push-ը ձախողվեց. կազմաձևված upstream չի գտնվել","localConversationPage.pushNothingToPush":"Push-ի ենթակա նոր commit-ներ չկան","localConversationPage.pushRemoteChangedError":"Push-ը ձախողվեց. remote-ն ունի նոր commit-ներ","localConversationPage.pushRemoteRejectedError":"Push-ը մերժվել է remote-ի կողմից","localConversationPage.pushStatusMissing":"Push կարգավիճակը բեռնվում է...","localConversationPage.pushSuccessToast":"Փոփոխություններն ուղարկված են","localConversationPage.viewPullRequestButtonLabel":"Դիտել PR-ը","localConversationPage.viewPullRequestButtonLabel.loading":"Pull հարցումը բեռնվում է","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ֆայլ} other {# ֆայլ}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# ցանկ} other {# ցանկ}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# որոնում} other {# որոնում}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Հետազոտումն ընթացքում է","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Հետազոտումն ավարտվեց","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} հետազոտումն ավարտվեց","localConversationTurnStory.showContent":"Ցուցադրել բովանդակությունը","localConversationTurnStory.streamContent":"Նվագարկման բովանդակություն","localConversationTurnStory.toggleReasoning":"Ցուցադրել տրամաբանումը","localTaskRow.archiveError":"Չհաջողվեց արխիվացնել խոսակցությունը","localTaskRow.resumeError":"Չհաջողվեց վերսկսել առաջադրանքը","mermaidDiagram.ariaLabel":"Mermaid դիագրամ","mermaidDiagram.copySource":"Պատճենել mermaid-ը","mermaidDiagram.originalCode":"Mermaid ելակետային կոդ","notifications.permissions.description":"Ցուցադրել ծանուցումները, երբ անհրաժեշտ են ծանուցման թույլտվություններ","notifications.permissions.label":"Միացնել թույլտվությունների ծանուցումները","notifications.turnMode.always":"Միշտ","notifications.turnMode.description":"Սահմանեք, թե Codex-ը երբ տեղեկացնի ավարտի մասին","notifications.turnMode.label":"Միացնել ավարտի վերաբերյալ ծանուցումները","notifications.turnMode.off":"Երբեք","notifications.turnMode.unfocused":"Միայն ակտիվ չլինելու դեպքում","patchApprovalRequest.approve":"Հաստատել","patchApprovalRequest.menu.allowAlways":"Այո, և այս աշխատաշրջանի ընթացքում այլևս պետք չէ հարցնել","patchApprovalRequest.menu.allowForSession":"Այո, և այս աշխատաշրջանի ընթացքում այլևս պետք չէ հարցնել","patchApprovalRequest.menu.allowOnce":"Այո","patchApprovalRequest.prompt":"Ուզո՞ւմ եք կատարել այս փոփոխությունները","patchApprovalRequest.reject":"Ոչ","patchApprovalRequest.waitingForApproval":"Ֆայլերը խմբագրելու համար սպասում է հաստատման","pendingRequest.approvalExec.collapse":"Ծալել","pendingRequest.approvalExec.expand":"Ծավալել","pendingRequestStory.toastAnswer":"Պատասխանել՝ {answer}","pendingRequestStory.toastApprovalTitle":"Հաստատման պատասխան","pendingRequestStory.toastFollowupPrompt":"Հարցում՝ {prompt}","pendingRequestStory.toastFollowupTitle":"Հետադարձ հաղորդագրությունն ուղարկվեց","pendingRequestStory.toastNoAnswers":"Պատասխաններ չեն տրամադրվել","pendingRequestStory.toastQuestion":"Հարց՝ {question}","pendingRequestStory.toastUnknownDecision":"Անհայտ","pendingRequestStory.toastUserInputTitle":"Ուղարկված պատասխաններ","quickAction.request.codeReview.branches.new":"Խնդրում եմ, ստուգիր {from}-ի փոփոխությունները {to}-ի նկատմամբ","quickAction.request.codeReview.uncommitted.new":"Խնդրում եմ, ստուգիր իմ չհաստատված փոփոխությունները","reasoningItem.thinking":"Մտածում է","reasoningItem.thought":"Ավարտեց մտածելը","reasoningItem.thoughtWithElapsed":"Մտածել է {elapsed}","recentConversations.title":"Թարմ խոսակցություններ","recentTasks.worktreeInitFailedTitle":"Worktree-ի սկզբնավորումը ձախողվեց","recentTasks.worktreeSettingUpTitle":"Կարգավորում է worktree-ն","requestInputPanel.continue":"Շարունակել","requestInputPanel.dismiss":"Փակել","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Մուտքագրեք այստեղ","requestInputPanel.optionIndex":"{index}։","requestInputPanel.otherPlaceholder":"Ոչ, և ասացեք Codex-ին, թե ինչն անի այլ կերպ","requestInputPanel.selectedBadge":"Ընտրված","requestInputPanel.skip":"Բաց թողնել","requestInputPanel.submit":"Ուղարկել","review.commit.ariaLabel.includeUnstaged":"Ներառել չնախապատրաստվածները","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Գործարկվում է...","review.commit.disabled.loadingDiff":"Diff-երը բեռնվում են…","review.commit.disabled.missingContext":"Ավելացնել որոշակի համատեքստ՝ commit հաղորդագրություն գեներացնելու համար","review.commit.disabled.noChanges":"Commit-ում փոփոխություններ չկան","review.commit.disabled.noSelection":"Ընտրել commit-ի փոփոխությունները","review.commit.disabled.unavailable":"Commit-ն այս պահին հասանելի չէ","review.commit.error":"Չհաջողվեց հաստատել փոփոխությունները","review.commit.form.changesToBeCommitted":"Փոփոխություններ","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Շարունակել","review.commit.form.title":"Գործարկեք ձեր փոփոխությունները","review.commit.generate.emptyResponse":"Չհաջողվեց գեներացնել Commit հաղորդագրություն։","review.commit.generate.failed":"Չհաջողվեց գեներացնել Commit հաղորդագրություն. {error}","review.commit.generate.missingPrompt":"Ավելացնել որոշակի համատեքստ՝ commit հաղորդագրություն գեներացնելու համար։","review.commit.includeUnstaged":"Ներառել չնախապատրաստվածները","review.commit.loading.description":"Խնդրում ենք մի փոքր սպասել, սա կարող է մի քանի րոպե տևել․․․","review.commit.loading.step.commit.done":"Գործարկված փոփոխություններ","review.commit.loading.step.commit.pending":"Կատարվում են փոփոխություններ","review.commit.loading.step.createPr.done":"Pull հարցումը ստեղծվեց","review.commit.loading.step.createPr.pending":"Ստեղծվում է pull հարցում","review.commit.loading.step.push.done":"Ուղարկվեց {branch} ճյուղին","review.commit.loading.step.push.pending":"Ուղարկվում է {branch} ճյուղին","review.commit.loading.title.commit":"Կատարվում են փոփոխություններ","review.commit.loading.title.createPr":"Ստեղծվում է PR","review.commit.loading.title.push":"Փոփոխություններն ուղարկվում են","review.commit.messageLabel":"Commit հաղորդագրություն","review.commit.messagePlaceholder":"Թողեք դատարկ՝ commit հաղորդագրությունն ավտոմատ գեներացնելու համար","review.commit.nextSteps":"Հաջորդ քայլերը","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Գործարկել և ստեղծել PR","review.commit.nextSteps.commitAndPush":"Իրականացնել commit և push","review.commit.nextSteps.prRequiresGh":"Պահանջում է GitHub CLI՝ {command}","review.commit.rows.changes":"Փոփոխություններ","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# commit}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# commit}} և {stats}","review.commit.rows.fileCount":"{count, plural, one {# ֆայլ} other {# ֆայլ}}","review.commit.state.error.body":"Ինչ-որ խնդիր տեղի ունեցավ գործարկելիս։ Ստուգեք ձեր git status-ը և կրկին փորձեք։","review.commit.state.error.title":"Գործարկումը չհաջողվեց","review.commit.state.success.title":"Փոփոխությունները գործարկվեցին","review.commit.untracked.loadingStats":"Բեռնվում են չհետևված diff-երի վիճակագրությունները…","reviewFindingAttachments.count":"{count, plural, one {# արդյունք} other {# արդյունք}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Խմբագրեք ձեր կազմաձևումը՝ ագենտի վարքագիծը հարմարեցնելու համար","settings.agent.configuration.configToml.docs":"Փաստաթղթեր","settings.agent.configuration.subtitle":"Այս կարգավորումները կիրառելի են ամենուրեք, որտեղ Codex-ն օգտագործվում է","settings.automations.banner.danger":"Ավտոմատացումներն աշխատում են ձեր պաշտպանված միջավայրի կանխադրված կարգավորումներով, որոնց համար ներկայումս սահմանված է լիարժեք հասանելիություն։ Հետին պլանում աշխատող ավտոմատացումների գործարկումը լիարժեք հասանելիությամբ պարունակում է բարձր ռիսկեր, քանի որ Codex-ը կարող է առանց հարցնելու փոփոխել ֆայլերը, գործարկել հրամաններ և մուտք գործել ցանց։ Կարող եք պաշտպանված միջավայրի կարգավորումներում ընտրել աշխատատարածքում գրելու տարբերակը և օգտագործել <rulesDocsLink>կանոններ</rulesDocsLink>՝ ընտրողաբար սահմանելու համար, թե որ հրամանները ագենտը կարող է գործարկել լիարժեք հասանելիությամբ։","settings.automations.banner.defaultHowTo.default":"Ավտոմատացումները գործում են ձեր պաշտպանված միջավայրի կանխադրված կարգավորումներով։ Գործիքների ակտիվացումը կձախողվի, եթե պահանջվի աշխատատարածքից դուրս ֆայլերի փոփոխում, ցանցի հասանելիություն կամ աշխատանք ձեր համակարգչի հավելվածների հետ։ Դուք կարող եք ընտրողաբար թույլատրել հրամանների գործարկումը պաշտպանված միջավայրից դուրս՝ օգտագործելով <rulesDocsLink>կանոններ</rulesDocsLink>։","settings.automations.banner.defaultHowTo.readOnly":"Ավտոմատացումներն աշխատում են ձեր պաշտպանված միջավայրի կանխադրված կարգավորումներով, որոնք սահմանված են միայն կարդալու համար։ Գործիքների ակտիվացումը կձախողվի, եթե պահանջվի աշխատատարածքից դուրս ֆայլերի փոփոխում, ցանցի հասանելիություն կամ աշխատանք ձեր համակարգչի հավելվածների հետ։ Կարող եք պաշտպանված միջավայրի կարգավորումներում ընտրել աշխատատարածքում գրելու տարբերակը։","settings.automations.cancel":"Չեղարկել","settings.automations.create":"Ստեղծել","settings.automations.cwdEmpty":"Նախագծի հասանելի պանակներ չկան","settings.automations.cwdLabel":"Նախագծեր","settings.automations.cwdPlaceholder":"Ընտրեք պանակ","settings.automations.cwdSubtitle":"Եթե ցանկանում եք, որ ավտոմատացումն աշխատի կոնկրետ ճյուղավորման դեպքում, նշեք դա ձեր հարցման մեջ։","settings.automations.delete":"Ջնջել","settings.automations.dialog.editTitle":"Խմբագրել ավտոմատացումը","settings.automations.dialog.newTitle":"Նոր ավտոմատացում","settings.automations.dialog.subtitle":"Ավտոմատացրեք հետին պլանում կրկնվող առաջադրանքները։ Codex-ն ավելացնում է արդյունքները փոստում կամ ավտոմատ կերպով արխիվացնում է առաջադրանքը, եթե հաղորդելու ոչինչ չկա։ <learnMoreLink>Իմանալ ավելին</learnMoreLink>","settings.automations.dialog.title":"Ստեղծել ավտոմատացում","settings.automations.executionCopy.git":"Ավտոմատացումներն աշխատում են հետին պլանում՝ հատուկ worktree-ներում։","settings.automations.executionCopy.nonGit":"Առանց տարբերակների հսկման նախագծերում ավտոմատացումները գործարկվում են անմիջապես նախագծի պանակում։ Դիտարկեք Git-ի օգտագործումը՝ հետին պլանի worktree-ներում գործարկումը միացնելու համար։","settings.automations.executionEnvironment.local":"Տեղային","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Բեռնվում է․․․","settings.automations.nameLabel":"Անվանում","settings.automations.namePlaceholder":"Ստուգեք Sentry-ի խնդիրները","settings.automations.pause":"Դադարեցնել","settings.automations.promptLabel":"Հարցում","settings.automations.promptPlaceholder":"փնտրեք խափանումներ $Sentry-ում","settings.automations.resume":"Վերսկսել","settings.automations.rruleSummaryFallback":"Անհատական ժամանակացույց","settings.automations.runNow":"Փորձարկել","settings.automations.save":"Պահել","settings.automations.scheduleBadge.dayCount":"{count} օր","settings.automations.scheduleBadge.interval":"{count} ժ","settings.automations.scheduleBadge.weekdays":"Աշխատանքային օրեր","settings.automations.scheduleBadge.weekends":"Ոչ աշխատանքային օրեր","settings.automations.scheduleHeader":"Ժամանակացույց","settings.automations.scheduleHours":"ժամ","settings.automations.scheduleLabel":"Գործարկել ամեն","settings.automations.scheduleMode.daily":"Ամեն օր","settings.automations.scheduleMode.interval":"Պարբերականություն","settings.automations.scheduleModeLabel":"Ժամանակացույցի տեսակ","settings.automations.scheduleSummary.daily":"Ամեն օր, {time}","settings.automations.scheduleSummary.interval":"Ամեն {count} ժամը մեկ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# օր} other {# օր}}","settings.automations.scheduleSummary.intervalDays":"{interval}, {days}","settings.automations.scheduleSummary.intervalHourly":"Ժամային","settings.automations.scheduleSummary.singleDay":"{day}, {time}","settings.automations.scheduleSummary.weekdays":"Աշխատանքային օրերին՝ {time}","settings.automations.scheduleSummary.weekdaysLabel":"աշխատանքային օրերին","settings.automations.scheduleSummary.weekends":"Ոչ աշխատանքային օրերին՝ {time}","settings.automations.scheduleSummary.weekendsLabel":"ոչ աշխատանքային օրերին","settings.automations.scheduleSummary.weekly":"{days}, {time}","settings.automations.scheduleWeekdays":"Միացված է","settings.automations.weekdayState.excluded":"Չներառված","settings.automations.weekdayState.included":"Ներառված","settings.conversationDetail.steps":"Քայլեր","settings.conversationDetail.steps.description":"Թաքցնել հրամանները և արտածումները","settings.conversationDetail.stepsWithCommands":"Քայլեր՝ կոդային հրամաններով","settings.conversationDetail.stepsWithCommands.description":"Ցուցադրել հրամանները, ծալել արտածումը","settings.conversationDetail.stepsWithOutput":"Քայլեր՝ կոդի արտածմամբ","settings.conversationDetail.stepsWithOutput.description":"Ցուցադրել հրամանները և ընդլայնել արտածումը","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Արխիվացված զրույցներ չկան։","settings.dataControls.archivedChats.error":"Արխիվացված զրույցները բեռնել չհաջողվեց։","settings.dataControls.archivedChats.loading":"Արխիվացված զրույցները բեռնվում են․․․","settings.dataControls.archivedChats.unarchive":"Ապարխիվացնել","settings.dataControls.archivedChats.unarchiveError":"Զրույցը չհաջողվեց հանել արխիվից","settings.dataControls.archivedChats.unarchiveSuccess":"Ապաարխիվացված շարք։ <viewNowLink>Դիտել հիմա</viewNowLink>","settings.dataControls.archivedChats.untitled":"Անվերնագիր զրույց","settings.editRow.headerPlaceholder":"Բանալի","settings.editRow.removeEntry":"Հեռացնել մուտքագրված տվյալը","settings.editRow.valuePlaceholder":"Արժեք","settings.general.appearance":"Տեսքը","settings.general.appearance.codeFont":"Կոդի տառատեսակ","settings.general.appearance.codeFont.description":"Կարգավորեք զրույցներում և diff-երում կոդի համար օգտագործվող տառատեսակը և չափը","settings.general.appearance.codeFontFamily":"Կոդի տառատեսակի ընտանիք","settings.general.appearance.codeFontSize":"Կոդի տառատեսակի չափ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Պատուհանները կարգավորել այնպես, որ օգտագործեն ոչ թափանցիկ ֆոն՝ համակարգի կիսաթափանցիկության փոխարեն","settings.general.appearance.opaqueWindows.label":"Օգտագործել անթափանց պատուհանի ֆոն","settings.general.appearance.sansFontFamily":"Sans տառատեսակի ընտանիք","settings.general.appearance.sansFontFamily.description":"Կարգավորել Codex UI-ի համար օգտագործվող տառատեսակը","settings.general.appearance.sansFontSize":"Sans տառատեսակի չափս","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Ցուցադրել տոնական էֆեկտները ամբողջ պատուհանով մեկ, երբ GPT-5.3-Codex-Spark շղթան կատարում է առաջին շրջադարձը","settings.general.appearance.sparkCelebrationEffects.label":"Փայլուն տոնական էֆեկտներ","settings.general.appearance.theme":"Թեմա","settings.general.appearance.theme.dark":"Մուգ","settings.general.appearance.theme.description":"Օգտագործեք լուսավոր կամ մութ թեման կամ համապատասխանեցրեք ձեր համակարգին","settings.general.appearance.theme.light":"Բաց","settings.general.appearance.theme.system":"Համակարգ","settings.general.appearance.usePointerCursors.description":"Փոխել cursor-ը pointer-ի, երբ այն գտնվում է ինտերակտիվ տարրերի վրա","settings.general.appearance.usePointerCursors.label":"Օգտագործել pointer cursors","settings.general.enterBehavior.description":"Միացված լինելու դեպքում բազմատողային հարցումներն ուղարկելու համար անհրաժեշտ է սեղմել {modifierSymbol} + enter։","settings.general.enterBehavior.label":"Պահանջել {modifierSymbol} + enter՝ երկար հարցումներ ուղարկելու համար","settings.general.experimentalFeatures":"Փորձնական գործառույթներ (Բետա)","settings.general.experimentalFeatures.empty":"Որևէ բետա փորձնական գործառույթ հասանելի չէ։","settings.general.experimentalFeatures.loading":"Փորձնական գործառույթները բեռնվում են...","settings.general.experimentalFeatures.restartNote":"Վերագործարկեք Codex-ը՝ փորձնական գործառույթների փոփոխությունները կիրառելու համար","settings.general.experimentalFeatures.toggle":"{featureName}․ միացնել/անջատել","settings.general.followUpQueueMode.description":"Սպասման ցուցակի հետագա փորձարկումներ, մինչ Codex-ը աշխատում է կամ ընդհատում է ընթացիկ աշխատանքը","settings.general.followUpQueueMode.interrupt":"Ուղղորդել","settings.general.followUpQueueMode.label":"Հետագա փորձարկումների վարքագիծ","settings.general.followUpQueueMode.queue":"Սպասման ցուցակ","settings.general.notifications":"Ծանուցումներ","settings.general.power.preventSleepWhileRunning.description":"Արթուն պահեք ձեր համակարգիչը, մինչ Codex-ը գործարկում է շղթան։","settings.general.power.preventSleepWhileRunning.label":"Թույլ մի տվեք, որ համակարգիչը քնի գործարկման ընթացքում","settings.git.branchPrefix.ariaLabel":"Branch-ի նախածանց","settings.git.branchPrefix.description":"Նախածանց, որն օգտագործվում է Codex-ում նոր branch-ներ ստեղծելիս","settings.git.branchPrefix.label":"Branch-ի նախածանց","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Չհաջողվեց պահել branch-ի նախածանցը","settings.git.branchPrefix.save.success":"Branch-ի պահված նախածանց","settings.git.commitInstructions.ariaLabel":"Commit հրահանգներ","settings.git.commitInstructions.description":"Ավելացվել է commit հաղորդագրությունների գեներացման հարցումներին","settings.git.commitInstructions.label":"Commit հրահանգներ","settings.git.commitInstructions.placeholder":"Ավելացրեք commit հաղորդագրության ուղեցույց…","settings.git.commitInstructions.save":"Պահել","settings.git.commitInstructions.save.error":"Commit հրահանգները պահել չհաջողվեց","settings.git.commitInstructions.save.success":"Պահված commit հրահանգներ","settings.git.forcePush.ariaLabel":"Push-ը միշտ կատարել հարկադրաբար","settings.git.forcePush.description":"Codex-ից ուղարկելիս օգտագործեք --force-with-lease հրամանը","settings.git.forcePush.label":"Push-ը միշտ կատարել հարկադրաբար","settings.git.forcePush.save.disabled":"Push-ը միշտ հարկադրաբար կատարելու գործառույթն անջատված է","settings.git.forcePush.save.enabled":"Push-ը միշտ հարկադրաբար կատարելու գործառույթը միացված է","settings.git.forcePush.save.error":"Push-ը հարկադրաբար կատարելու կարգավորումը չհաջողվեց պահել","settings.git.prInstructions.ariaLabel":"Pull հարցման հրահանգներ","settings.git.prInstructions.description":"Կցվել է Codex-ի կողմից ստեղծված pull հարցումների մարմիններին","settings.git.prInstructions.label":"Pull հարցման հրահանգներ","settings.git.prInstructions.placeholder":"Ավելացնել pull հարցման ուղեցույց…","settings.git.prInstructions.save":"Պահել","settings.git.prInstructions.save.error":"Չհաջողվեց պահել pull հարցման հրահանգները","settings.git.prInstructions.save.success":"Pull հարցման հրահանգները պահվեցին","settings.ide.defaultOpenTarget.description":"Երբ ֆայլերն ու պանակները բացվում են ըստ կանխադրման","settings.ide.defaultOpenTarget.label":"Բաց ուղղություն՝ ըստ կանխադրման","settings.ide.defaultOpenTarget.placeholder":"Նպատակակետեր չեն գտնվել","settings.ide.language.auto":"Ավտոմատ հայտնաբերել","settings.ide.language.autoOption":"Ավտոմատ հայտնաբերել","settings.ide.language.description":"Հավելվածի UI-ի լեզու","settings.ide.language.label":"Լեզու","settings.ide.language.search":"Որոնեք լեզուներ","settings.layout.actionButton":"Վերագործարկել ընդլայնումը","settings.layout.actionTitle":"Գործողություն ենթադրող կարգավորումներ","settings.layout.fullWidthTitle":"Կարգավորումներ (Լրիվ լայնությամբ)","settings.layout.title":"Կարգավորումներ","settings.localEnvironments.actions.add":"Ավելացնել գործողություն","settings.localEnvironments.actions.add.description":"Ստեղծել նոր հրաման՝ գործիքագոտուց գործարկելու համար։","settings.localEnvironments.actions.add.save":"Պահել","settings.localEnvironments.actions.empty":"Ավելացրեք գործողություն՝ տեղային գործիքագոտուց հրամաններ կատարելու համար։","settings.localEnvironments.actions.icon.debug":"Վրիպազերծել","settings.localEnvironments.actions.icon.run":"Գործարկել","settings.localEnvironments.actions.icon.test":"Փորձարկել","settings.localEnvironments.actions.icon.tool":"Գործիք","settings.localEnvironments.actions.item.button.delete":"Ջնջել","settings.localEnvironments.actions.item.command":"Գործողության սկրիպտ","settings.localEnvironments.actions.item.name":"Անվանում","settings.localEnvironments.actions.item.platforms":"Հարթակներ","settings.localEnvironments.actions.item.platforms.help":"Աշխատում է միայն որոշակի օպերացիոն համակարգերում։","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Հարթակի ընտրություն","settings.localEnvironments.actions.item.platforms.specific":"Հարթակին հատուկ","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Ջնջել","settings.localEnvironments.actions.title":"Գործողություններ","settings.localEnvironments.breadcrumb.back":"Հետ","settings.localEnvironments.breadcrumb.edit":"խմբագրել","settings.localEnvironments.breadcrumb.root":"Միջավայրեր","settings.localEnvironments.environment.actions.description":"Այս գործողությունները կարող են գործարկել ցանկացած հրաման և կցուցադրվեն վերնագրում։","settings.localEnvironments.environment.actionsLabel":"Գործողություններ","settings.localEnvironments.environment.create":"Ստեղծել տեղային միջավայր","settings.localEnvironments.environment.defaultName":"տեղային","settings.localEnvironments.environment.edit":"Խմբագրել տեղային միջավայրը","settings.localEnvironments.environment.empty":"Այս աշխատատարածքի համար դեռևս տեղային միջավայր կարգավորված չէ։","settings.localEnvironments.environment.name":"Անվանում","settings.localEnvironments.environment.setup":"Կարգավորման սկրիպտ","settings.localEnvironments.environment.setup.description":"Այս սկրիպտը կաշխատի worktree-ի ստեղծման դեպքում։","settings.localEnvironments.environment.setup.hint":"Աշխատում է նախագծի արմատային պանակում։","settings.localEnvironments.environment.setup.platformOverrides":"Հարթակի փոխարինող կարգավորումներ","settings.localEnvironments.environment.setup.platformOverrides.add":"Ավելացնել {platform} հարթակի կարգավորման սկրիպտը","settings.localEnvironments.environment.setup.platformOverrides.description":"Չեղարկում է որոշակի օպերացիոն համակարգերի համար նախատեսված կանխադրված սկրիպտը։","settings.localEnvironments.environment.setup.platformOverrides.remove":"Հեռացնել","settings.localEnvironments.environment.setup.script":"Սկրիպտ","settings.localEnvironments.environment.title":"Միջավայրի մանրամասներ","settings.localEnvironments.file.missing":"Պահեք՝ այս ֆայլն առաջին անգամ ստեղծելու համար։","settings.localEnvironments.file.parseError":"Հնարավոր չէ վերլուծել առկա ֆայլի կառուցվածքը։ Պահելու դեպքում փոփոխությունները չեն պահպանվի։ ({error})","settings.localEnvironments.file.path":"Ֆայլ՝ {path}","settings.localEnvironments.file.readError":"Չհաջողվեց բեռնել տեղային միջավայրի տվյալները։ ({error})","settings.localEnvironments.file.title":"Տեղային միջավայրի ֆայլ","settings.localEnvironments.loading.body":"Առբերվում է ձեր նախագծի կազմաձևումը։","settings.localEnvironments.loading.title":"Տեղային միջավայրերը բեռնվում են","settings.localEnvironments.preview.devOnly":"(միայն DEV տարբերակով)","settings.localEnvironments.preview.save":"Պահել","settings.localEnvironments.preview.saveError":"Չհաջողվեց պահել ֆայլը։ ({error})","settings.localEnvironments.preview.title":"Նախադիտում","settings.localEnvironments.save.disabled.name":"Պահելու համար ավելացրեք միջավայրի անուն։","settings.localEnvironments.save.disabled.noChanges":"Պահելու փոփոխություններ չկան։","settings.localEnvironments.save.disabled.saving":"Պահվում է․․․","settings.localEnvironments.save.success":"Պահված տեղային միջավայր","settings.localEnvironments.unavailable.body":"Չհաջողվեց բեռնել այս նախագծի տեղային միջավայրի կարգավորումները։","settings.localEnvironments.unavailable.title":"Տեղային միջավայրերն անհասանելի են։","settings.localEnvironments.workspace.add":"Ավելացնել նախագիծ","settings.localEnvironments.workspace.title":"Նախագիծ","settings.localEnvironments.workspaceSelect.addLabel":"Ավելացնել միջավայր","settings.localEnvironments.workspaceSelect.description":"Տեղային միջավայրերը Codex-ին ասում են, թե ինչպես կարգավորել worktree-ները նախագծի համար։ {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Նախագծեր դեռևս չկան։ Ավելացրեք նախագիծ՝ տեղային միջավայրերը կազմաձևելու համար։","settings.localEnvironments.workspaceSelect.errorLabel":"Ուշադրություն դարձրեք միջավայրի վրա","settings.localEnvironments.workspaceSelect.learnMore":"Իմանալ ավելին","settings.localEnvironments.workspaceSelect.listLabel":"Հասանելի նախագծեր","settings.localEnvironments.workspaceSelect.loading":"Նախագծերը բեռնվում են։","settings.localEnvironments.workspaceSelect.loadingLabel":"Միջավայրը բեռնվում է","settings.localEnvironments.workspaceSelect.title":"Ընտրել նախագիծ","settings.localEnvironments.workspaceSelect.viewAction":"Դիտել","settings.mcp.addServer":"Ավելացնել սերվեր","settings.mcp.app.configure":"Կազմաձևել","settings.mcp.app.connect":"Կապակցել","settings.mcp.apps.refresh":"Թարմացնել","settings.mcp.detail.addArgument":"Ավելացնել փաստարկ","settings.mcp.detail.addEnvVar":"Ավելացնել միջավայրի փոփոխական","settings.mcp.detail.addEnvVarPassthrough":"Ավելացնել փոփոխական","settings.mcp.detail.args":"Փաստարկներ","settings.mcp.detail.back":"Հետ","settings.mcp.detail.command":"Գործարկման հրաման","settings.mcp.detail.cwd":"Աշխատանքային գրացուցակ","settings.mcp.detail.docs":"Բացել MCP փաստաթղթերը","settings.mcp.detail.docs.link":"Փաստաթղթեր","settings.mcp.detail.envVarPassthrough":"Միջավայրի փոփոխականների փոխանցում","settings.mcp.detail.envVars":"Միջավայրի փոփոխականներ","settings.mcp.detail.http.addEnvHeader":"Ավելացնել փոփոխական","settings.mcp.detail.http.addHeader":"Ավելացնել վերնագիր","settings.mcp.detail.http.bearerToken":"«Կրողի» թոքենի (Bearer token) միջավայրի փոփոխական արժեք","settings.mcp.detail.http.envHeaders":"Միջավայրի փոփոխականներից ստացված վերնագրեր","settings.mcp.detail.http.headers":"Վերնագրեր","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Անվանում","settings.mcp.detail.save":"Պահել","settings.mcp.detail.switchTransportNotice":"Եթե ​​ցանկանում եք փոխել MCP սերվերի տեսակը, խնդրում ենք նախ հեռացնել այն։","settings.mcp.detail.titleExisting":"Արդիացնել {name} MCP-ն","settings.mcp.detail.titleNew":"Կապակցել հարմարեցրած MCP-ի","settings.mcp.detail.transport.http":"Հոսքային HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Ապատեղադրել","settings.mcp.empty":"Հարմարեցրած MCP սերվերներ միացված չեն","settings.mcp.myServers":"Հարմարեցրած սերվերներ","settings.mcp.partnerServer.description.figma":"Գեներացրեք ավելի լավ կոդ՝ Figma-ի ամբողջական համատեքստը ներառելով","settings.mcp.partnerServer.description.github":"Ինտեգրեք GitHub API-ների հետ՝ աշխատանքային հոսքերը ավտոմատացնելու և տվյալներն առանձնացնելու համար","settings.mcp.partnerServer.description.linear":"Ինտեգրեք Linear-ի խնդիրների հետևման և նախագծերի կառավարման հետ","settings.mcp.partnerServer.description.notion":"Կարդացեք փաստաթղթեր, թարմացրեք էջեր, կառավարեք առաջադրանքներ","settings.mcp.partnerServer.description.playwright":"Ինտեգրեք դիտարկիչի ավտոմատացումը՝ նախագծում և UI-ի թեստավորում իրականացնելու համար։","settings.mcp.partnerServer.install":"Տեղադրել","settings.mcp.partnerServer.installAndAuthenticate":"Տեղադրել և իսկորոշվել","settings.mcp.partnerServer.logoAlt":"{label} պատկերանշան","settings.mcp.partnerServer.manage":"Կառավարել","settings.mcp.partnerServer.vendor":"{vendor}-ի կողմից","settings.mcp.recommendedServers":"Առաջարկվող սերվերներ","settings.mcp.restartApp":"Վերագործարկել","settings.mcp.restartExtension":"Վերագործարկել ընդլայնումը","settings.mcp.server.enable":"Միացնել","settings.mcp.server.login":"Մուտք գործել","settings.mcp.server.settings":"Կարգավորումներ","settings.multiselect.createOption":"Ստեղծել «{value}»","settings.multiselect.removeOption":"Հեռացնել","settings.nav.account":"Հաշիվ","settings.nav.agent":"Կազմաձևում","settings.nav.ariaLabel":"Կարգավորումներ","settings.nav.back":"Վերադառնալ հավելված","settings.nav.data-controls":"Արխիվացված շարքեր","settings.nav.environments":"Cloud միջավայրեր","settings.nav.externalTooltip":"[alpha] Բացվում է դիտարկիչում","settings.nav.general-settings":"Ընդհանուր","settings.nav.git-settings":"Git","settings.nav.local-environments":"Միջավայրեր","settings.nav.mcp-settings":"MCP սերվերներ","settings.nav.notImplemented":"[alpha] Հասանելի չէ Alpha տարբերակում","settings.nav.personalization":"Անհատականացում","settings.nav.skills-settings":"Հմտություններ","settings.nav.usage-analytics":"Օգտագործում և վերլուծություն","settings.nav.worktrees":"Worktree-ներ","settings.openSourceLicenses.back":"Հետ","settings.openSourceLicenses.loading":"Բեռնվում է․․․","settings.openSourceLicenses.missing":"Երրորդ կողմի ծանուցումներ չեն հայտնաբերվել։","settings.openSourceLicenses.notSupported":"Հասանելի չէ այս հոսթում։","settings.openSourceLicenses.rowDescription":"Երրորդ կողմի ծանուցումներ՝ ներառված կախվածությունների վերաբերյալ","settings.openSourceLicenses.rowLabel":"Բաց աղբյուրի լիցենզիաներ","settings.openSourceLicenses.subtitle":"Այս հավելվածում ներառված կախվածությունների վերաբերյալ երրորդ կողմի ծանուցումներ","settings.openSourceLicenses.title":"Բաց աղբյուրի լիցենզիաներ","settings.openSourceLicenses.view":"Դիտել","settings.personalization.agents.description":"Խմբագրեք հրահանգները, որոնք Codex-ը հարմարեցնում են ձեզ համար։ {learnMore}","settings.personalization.agents.learnMore":"Իմանալ ավելին","settings.personalization.agents.loadError":"Հնարավոր չէ բեռնել agents.md-ն։","settings.personalization.agents.loading":"agents.md-ն բեռնվում է․․․","settings.personalization.agents.placeholder":"Ավելացրեք ձեր հարմարեցրած հրահանգները․․․","settings.personalization.agents.retry":"Կրկին փորձել","settings.personalization.agents.save":"Պահել","settings.personalization.agents.save.error":"Հնարավոր չէ պահել agents.md-ն","settings.personalization.agents.save.success":"agents.md-ն պահվեց","settings.personalization.agents.title":"Հատուկ հրահանգներ","settings.personalization.personality.description":"Ընտրեք կանխադրված տոն Codex-ի պատասխանների համար","settings.personalization.personality.label":"Անհատականություն","settings.sample.contentBody":"Օգտագործեք այս դասավորությունը՝ ձեր կարգավորումների վահանակները համապատասխան հեռավորությամբ կազմելու համար։","settings.sample.contentTitle":"Նմուշային բովանդակության բլոկ","settings.section.account":"Հաշիվ","settings.section.agent":"Կազմաձևում","settings.section.data-controls":"Արխիվացված շարքեր","settings.section.environments":"Cloud միջավայրեր","settings.section.external":"Բացվում է ձեր դիտարկիչում Alpha-ի ժամանակ","settings.section.general-settings":"Ընդհանուր","settings.section.git-settings":"Git","settings.section.local-environments":"Միջավայրեր","settings.section.mcp-settings":"MCP սերվերներ","settings.section.mcp-settings.docs":"Փաստաթղթեր","settings.section.mcp-settings.subtitle":"Միացնել արտաքին գործիքները և տվյալների աղբյուրները։","settings.section.personalization":"Անհատականացում","settings.section.skills-settings":"Հմտություններ","settings.section.unavailable":"Հասանելի չէ Alpha տարբերակում","settings.section.usage-analytics":"Օգտագործում և վերլուծություն","settings.section.worktrees":"Worktree-ներ","settings.threadDetail.description":"Ընտրել, թե հրամանի արտածումն ինչ չափով պետք է ցուցադրվի շարքերում","settings.threadDetail.label":"Շարքի մանրամասներ","settings.worktrees.conversation.untitled":"Չվերնագրված խոսակցություն","settings.worktrees.delete.error":"Չհաջողվեց ջնջել worktree-ն","settings.worktrees.empty.body":"Codex-ի կողմից ստեղծված worktree-ները կհայտնվեն այստեղ։","settings.worktrees.empty.title":"Worktree-ներ դեռ չկան","settings.worktrees.error.body":"Worktree-ները բեռնելիս սխալ առաջացավ։","settings.worktrees.error.retry":"Նորից փորձել","settings.worktrees.error.title":"Հնարավոր չէ բեռնել worktree-ները","settings.worktrees.loading.body":"Worktree-ի մանրամասները բեռնվում են։","settings.worktrees.loading.title":"Worktree-ները բեռնվում են...","settings.worktrees.repository.loading":"Պահոցի մետատվյալները բեռնվում են․․․","settings.worktrees.repository.unknown":"Անհայտ պահոց","settings.worktrees.row.conversations":"Զրուցաշարեր","settings.worktrees.row.conversations.empty":"Այս worktree-ին կապված զրույցներ չկան։","settings.worktrees.row.conversations.loading":"Խոսակցությունները բեռնվում են...","settings.worktrees.row.delete":"Ջնջել","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Ավելացնել նոր նախագիծ","sidebarElectron.archiveThread":"Արխիվացնել շարքը","sidebarElectron.archiveThreadError":"Չհաջողվեց արխիվացնել շարքը","sidebarElectron.collapseFolder":"Ծալել պանակը","sidebarElectron.createStableWorktree.dialog.cancel":"Չեղարկել","sidebarElectron.createStableWorktree.dialog.create":"Ստեղծել","sidebarElectron.debugNavLink":"Վրիպազերծել","sidebarElectron.editWorkspaceRootOptionName":"Խմբագրել անունը","sidebarElectron.expandFolder":"Ծավալել պանակը","sidebarElectron.groupByMenu.recency":"Ժամանակագրական ցանկ","sidebarElectron.groupByMenu.title":"Կազմակերպել","sidebarElectron.groupByMenu.workspace":"Ըստ նախագծի","sidebarElectron.inboxRouteNavLink":"Ավտոմատացումներ","sidebarElectron.markThreadUnread":"Նշել որպես չկարդացված","sidebarElectron.missingWorkspaceRoot":"Այս նախագծի պանակը ջնջվել կամ տեղափոխվել է","sidebarElectron.newThread":"Նոր շարք","sidebarElectron.newThreadInGroup":"Սկսել նոր շարք {folder}-ում","sidebarElectron.noRecentThreads":"Նոր շարքեր չկան","sidebarElectron.noTasks":"Շարքեր չկան","sidebarElectron.noTasks.start":"Ավելացնել նոր նախագիծ","sidebarElectron.noTasksWithFilter":"Զտիչներին համապատասխանող շարքեր չկան","sidebarElectron.pinnedThreads":"Ամրացված շարքեր","sidebarElectron.recentNavLink":"Շարքեր","sidebarElectron.recentThreads":"Նոր շարքեր","sidebarElectron.removeWorkspaceRootOption":"Հեռացնել","sidebarElectron.renameThread":"Վերանվանեք շարքը","sidebarElectron.renameThreadDialogAriaLabel":"Շարքի վերնագիր","sidebarElectron.renameThreadDialogCancel":"Չեղարկել","sidebarElectron.renameThreadDialogPlaceholder":"Ավելացրեք վերնագիր․․․","sidebarElectron.renameThreadDialogSave":"Պահել","sidebarElectron.renameThreadDialogSubtitle":"Գրեք հակիրճ և հասկանալի։","sidebarElectron.renameThreadDialogTitle":"Վերանվանեք շարքը","sidebarElectron.renameThreadError":"Չհաջողվեց վերանվանել շարքը","sidebarElectron.renameWorkspaceRootOptionLabel":"Ցուցադրվող անվանում","sidebarElectron.showLess":"Ցուցադրել ավելի քիչ","sidebarElectron.showMenu.all":"Բոլոր շարքերը","sidebarElectron.showMenu.relevant":"Համապատասխան","sidebarElectron.showMenu.relevantHint":"Ցուցադրեք միայն ընթացիկ ճյուղի, worktree-ների կամ այլ թեմաների վերջին շարքերը, որոնք ձեր ուշադրության կարիքն ունեն։","sidebarElectron.showMenu.title":"Ցուցադրել","sidebarElectron.showMenu.tooltip":"Զտել, տեսակավորել և դասավորել շղթաները","sidebarElectron.showMenu.trigger":"Զտել կողային վահանակների շարքերը","sidebarElectron.showMore":"Ցուցադրել ավելին","sidebarElectron.skillsRouteNavLink":"Հմտություններ","sidebarElectron.sortMenu.created":"Ստեղծվել է","sidebarElectron.sortMenu.title":"Տեսակավորել ըստ","sidebarElectron.sortMenu.updated":"Թարմացված","sidebarElectron.taskNavigation":"Ավտոմատացման պանակներ","sidebarElectron.tasksInFolder":"Ավտոմատացումներ՝ {folder}","sidebarElectron.workspaceOptions":"Նախագծի գործողություններ {folder} պանակի համար","sidebarElectron.worktreeGroupTooltip":"Սա git worktree է","skills.appsPage.createSkill":"Նոր հմտություն","skills.appsPage.empty.skills":"Հմտություններ չեն գտնվել","skills.appsPage.search.skills":"Որոնել հմտություններ","skills.appsPage.search.skills.label":"Որոնել հմտություններ","skills.appsPage.section.installedApps":"Տեղադրված է","skills.appsPage.section.skills":"Հմտություններ","skills.appsPage.subheading":"Տվեք Codex-ին գերուժեր։<link>Իմանալ ավելին</link>","skills.appsPage.tab.recommended":"Առաջարկվող","skills.appsPage.tab.skills":"Հմտություններ","skills.card.contentsError":"Հնարավոր չէ բեռնել հմտության բովանդակությունը։","skills.card.disable":"Անջատել","skills.card.disableSuccess":"{skillName} հմտություն անջատված է","skills.card.disabledBadge":"Անջատված","skills.card.enable":"Միացնել","skills.card.enableSuccess":"{skillName} հմտություն միացված է","skills.card.loadingContents":"Հմտության բովանդակությունը բեռնվում է...","skills.card.more":"Ավելի շատ գործողություններ","skills.card.open":"Բացել","skills.card.removeFailed":"Չհաջողվեց ապատեղադրել հմտությունը","skills.card.removeSuccess":"{skillName} հմտություն ապատեղադրված է","skills.card.toggleEnabledError":"Չհաջողվեց թարմացնել հմտությունները","skills.card.try":"Փորձել","skills.card.trySkill":"Փորձել հմտությունը","skills.card.uninstall":"Ապատեղադրել","skills.hero.dotLabel":"Անցնել {index} սլայդին","skills.hero.next":"Հաջորդ առաջարկվող գործառույթը","skills.hero.trySkill":"Փորձել հմտությունը","skills.page.createSkill":"Նոր հմտություն","skills.page.empty":"Հմտություններ չեն գտնվել","skills.page.filteredEmpty":"Ձեր զտիչներին համապատասխանող հմտություններ չկան","skills.page.filteredEmptyDescription":"Փորձեք փոփոխել որոնման տվյալները կամ կիրառված զտիչները","skills.page.heading":"Հմտություններ","skills.page.loading":"Հմտությունները բեռնվում են...","skills.page.refreshSkills":"Թարմացնել","skills.page.refreshSkillsToUseNew":"Թարմացրեք՝ նոր հմտությունը կամ հմտություններն օգտագործելու համար","skills.page.search":"Որոնել հմտություններ","skills.page.search.label":"Որոնել հմտություններ","skills.page.subheading":"Տվեք Codex-ին գերուժեր։<link>Իմանալ ավելին</link>","skills.preview.copyPrompt":"Պատճենել հարցումը","skills.preview.examplePrompt":"Օրինակ-հուշանիշ","skills.recommended.error":"Անհնար է բեռնել առաջարկվող հմտությունները","skills.recommended.install":"Տեղադրել","skills.recommended.installSkill":"Տեղադրել հմտությունը","skills.recommended.installSuccess":"{skillName} հմտություն տեղադրված է","skills.recommended.installed":"Տեղադրված է","skills.scope.admin":"Ադմին","skills.scope.adminInstalled":"Ադմինի կողմից տեղադրված","skills.scope.builtIn":"Համակարգ","skills.scope.personal":"Անձնական","skills.scope.repo":"Պահոց","skills.scope.system":"Համակարգ","skills.scope.team":"Թիմային","skills.scope.user":"Օգտատեր","skills.section.installed":"Տեղադրված է","skills.section.recommended":"Առաջարկվող","story.slidingToggle.existing":"Առկա","story.slidingToggle.fromLocal":"Տեղայինից","story.slidingToggle.new":"Նոր","story.slidingToggle.toLocal":"Տեղայինին","terminal.close":"Փակել տերմինալը","terminal.title":"Տերմինալ","thinkingShimmer.default":"Մտածում է","threadEnvIcon.cloudTooltip":"Այս խոսակցությունն ընթանում է Codex Cloud-ում։","threadEnvIcon.localTooltip":"Այս խոսակցությունն ընթանում է տեղային մակարդակում։","threadEnvIcon.worktreeTooltip":"Այս խոսակցությունն ընթանում է տեղային git worktree-ում։","threadHeader.archiveConfirmCancel":"Չեղարկել","threadHeader.archiveConfirmConfirm":"Արխիվացնել","threadHeader.copySessionId":"Պատճենել աշխատաշրջանի ID-ն","threadHeader.copyWorkingDirectory":"Պատճենել աշխատանքային գրացուցակը","threadHeader.forkIntoLocal":"Ստեղծել առանձին պատճեն տեղային միջավայրում","threadHeader.forkIntoWorktree":"Ստեղծել առանձին պատճեն նոր worktree-ում","threadHeader.forkPendingWorktreePrompt":"Ստեղծեք այս խոսակցության առանձին պատճեն նոր worktree-ում։","threadHeader.forkPendingWorktreeTitle":"Պատճենված խոսակցություն","threadHeader.forkThreadError":"Չհաջողվեց պատճենել շարքը","threadHeader.forkThreadRequiresGitRepo":"Նոր worktree-ում առանձին պատճեն ստեղծելու համար անհրաժեշտ է git պահոց","threadHeader.moreActions":"Շարքի գործողություններ","threadPage.newThread":"Նոր շարք","threadPage.runAction.changeEnvironment":"Փոխել միջավայրը","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} գործողություն","threadPage.runAction.environmentSelector.label":"Ընտրել միջավայր","threadPage.runAction.label":"Գործարկել","threadPage.runAction.missing.label":"Կարգավորել գործարկման գործողությունը","threadPage.runAction.setup.commandLabel":"Գործարկման հրաման","threadPage.runAction.setup.description":"Ասացեք Codex-ին, թե ինչպես տեղադրել կախվածությունները և գործարկել ձեր հավելվածը։","threadPage.runAction.setup.editMore":"Միջավայրի կարգավորումներ","threadPage.runAction.setup.placeholder":"օր․՝ npm install npm run","threadPage.runAction.setup.submit":"Պահել և գործարկել","threadPage.runAction.setup.title":"Գործարկել","threadPage.runAction.tooltip.withEnvironment":"{environmentName} գործողություն","threadPage.toggleDiffPanel":"Միացնել/անջատել diff-ի վահանակը","threadPage.toggleTerminal":"Միացնել/անջատել տերմինալը","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Բացել պանակը","toolSummaryForCmd.exploredFiles":"<verb>Թվարկվել են</verb> ֆայլեր","toolSummaryForCmd.exploredFilesInPath":"<verb>Թվարկվել են</verb> ֆայլեր {path}-ում","toolSummaryForCmd.exploringFiles":"<verb>Թվարկվել են</verb> ֆայլեր","toolSummaryForCmd.exploringFilesInPath":"<verb>Թվարկվել են</verb> ֆայլեր {path}-ում","toolSummaryForCmd.ranGenericCommand":"<status>Հրահանգը գործարկվեց</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Գործարկեց</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Կարդացել է</verb> հետևյալը՝ {path}","toolSummaryForCmd.runningGenericCommand":"<status>Հրահանգը գործարկվում է</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}ի համար","toolSummaryForCmd.searchedFor":"<verb>Որոնել է</verb> «{query}»","toolSummaryForCmd.searchedForFiles":"<verb>Որոնել է</verb> ֆայլեր","toolSummaryForCmd.searchedForInPath":"<verb>Որոնեց</verb> {query} {path}-ում","toolSummaryForCmd.searchingFor":"<verb>Որոնում է</verb> «{query}»","toolSummaryForCmd.searchingForFiles":"<verb>Որոնում է</verb> ֆայլեր","toolSummaryForCmd.searchingForInPath":"<verb>Որոնում է</verb> {query} {path}-ում","traceRecording.startDetails.cancel":"Չեղարկել","wham.diff.addComment":"Ավելացնել մեկնաբանություն","wham.diff.binaryFile":"Բինար ֆայլը չի ​​ցուցադրվում","wham.diff.noContent":"Բովանդակությունը բացակայում է","wham.fileTag.deleted":"Ջնջված","wham.fileTag.new":"Նոր","wham.formattedRelativeDateTime.compactDaysAgo":"{value} օր","wham.formattedRelativeDateTime.compactHoursAgo":"{value} ժ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} ր","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} ամ","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} շ","wham.formattedRelativeDateTime.compactYearsAgo":"{value} տ","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Աշխատում է ձեր առաջադրանքի վրա","wham.whamProposedTask.title":"Առաջարկվող առաջադրանք","wham.whamProposedTask.useSuggestion":"Օգտագործել առաջարկը","workspaceRootDialog.addError":"Չհաջողվեց ավելացնել նախագիծը","workspaceRootDialog.cancel":"Չեղարկել","workspaceRootDialog.confirmAdd":"Ավելացնել նախագիծ","workspaceRootDialog.confirmPick":"Օգտագործել նախագիծը","workspaceRootDialog.description":"{host}-ում մուտքագրեք ուղի, որը կարելի է որպես նախագիծ օգտագործել։","workspaceRootDialog.pathLabel":"Նախագծի ուղի","workspaceRootDialog.pathPlaceholder":"/գլխավոր էջ/դուք/նախագիծ","workspaceRootDialog.title.add":"Ավելացրեք նախագծի ուղին","workspaceRootDialog.title.pick":"Ընտրեք նախագծի ուղին","worktreeInitV2.cancel":"Չեղարկել","worktreeInitV2.notification.failedTitle":"Worktree-ի կարգավորումը չհաջողվեց","worktreeInitV2.output.empty":"Սպասում է արտածման...","worktreeInitV2.status.error":"Worktree-ի կարգավորումը չհաջողվեց։","worktreeInitV2.status.running":"Ստեղծում է worktree և գործարկում կարգավորումը։","worktreeInitV2.status.runningFork":"Worktree-ի կառուցում՝ տվյալ խոսակցության առանձին պատճեն ստեղծելու համար","worktreeInitV2.status.success":"Worktree-ն պատրաստ է։","worktreeInitV2.title":"Worktree-ն ստեղծվում է","worktreeInitV2.workLocallyInstead":"Փոխարենը աշխատել տեղային մակարդակում","worktreeRestoreBanner.body":"Այս շարքի worktree-ն հեռացվել է՝ սկավառակում տեղ խնայելու նպատակով","worktreeRestoreBanner.missing.body":"Այս շարքի աշխատանքային գրացուցակն այլևս չկա","worktreeRestoreBanner.missing.title":"Ներկայիս աշխատանքային գրացուցակը բացակայում է","worktreeRestoreBanner.restore.error":"Չհաջողվեց վերականգնել worktree-ն. {message}","worktreeRestoreBanner.restore.success":"Worktree-ն վերականգնված է","worktreeRestoreBanner.restoreCta":"Վերականգնել worktree-ն","worktreeRestoreBanner.title":"Worktree-ն մաքրված է"};Object.assign(e,globalThis.codexI18nOverrides?.["hy-AM"]);export{e as default};
 //# sourceMappingURL=hy-AM-BsQaaCwt.js.map
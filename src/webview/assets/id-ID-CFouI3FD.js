@@ -1,2 +1,2 @@
-const a={"CopyButton.copyTooltip":"Salin","app.sidebar.hide":"Sembunyikan sidebar","app.sidebar.show":"Tampilkan sidebar","app.sidebar.tooltip":"Ubah sidebar","appHeader.installUpdate":"Perbarui","appSunset.body":"Versi aplikasi ini sudah tidak lagi didukung. Unduh versi terbaru <here>di sini</here>.","appSunset.title":"Pembaruan diperlukan","automation.updateDirective.create":"Buat","automation.updateDirective.open":"Buka","automation.updateDirective.untitled":"Otomatisasi tidak berjudul","automation.updateDirective.update":"Perbarui","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# percobaan}}","cloudTaskRow.archiveError":"Gagal mengarsipkan tugas","code.diff.requestChange":"Minta perubahan","code.diffComment.cancel":"Batalkan","code.diffComment.comment":"Komentar","code.diffComment.delete":"Hapus","code.diffComment.save":"Simpan","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Tidak satu pun temuan dilaporkan.","codex.alert.closeAriaLabel":"Tutup","codex.appUpsellBanner.cbpApi.message":"Bangun lebih cepat dengan aplikasi Codex. Unduh sekarang atau {learnMoreLink}.","codex.appUpsellBanner.download":"Unduh","codex.appUpsellBanner.freeGo.message":"Codex sudah termasuk dalam paket Anda hingga 2 Maret. Coba aplikasi Codex untuk membangun lebih cepat.","codex.appUpsellBanner.later":"Nanti","codex.appUpsellBanner.learnMoreLowercase":"pelajari selengkapnya","codex.appUpsellBanner.new":"Baru","codex.appUpsellBanner.proPlusBusiness.message":"Coba aplikasi Codex dengan batas penggunaan 2× hingga 2 April. Unduh sekarang atau {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikasi Codex","codex.applyDropdown.header.changes":"Perubahan","codex.applyDropdown.header.fileCount":"{count, plural, other {# file}}","codex.applyDropdown.header.rows":"baris","codex.applyDropdown.header.title":"Terapkan perubahan","codex.applyDropdown.header.workspace":"Proyek","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} file bertentangan:}}","codex.applyDropdown.results.empty":"Tidak ada file yang disalin","codex.applyDropdown.results.skipped":"{count, plural, other {{count} file dilewatkan:}}","codex.applyOrRevertBanner.apply":"Terapkan","codex.applyOrRevertBanner.applyMessage":"Terapkan perubahan dan lanjutkan secara lokal?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Tugas ini dibuat di {environment}, jadi mungkin tidak diterapkan secara bersih.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Perubahan dibuat di {environment}, jadi mungkin tidak diterapkan secara bersih.","codex.applyOrRevertBanner.reapply":"Terapkan ulang","codex.applyOrRevertBanner.revert":"Balikkan","codex.applyOrRevertBanner.revertMessage":"Balikkan perubahan yang diterapkan?","codex.applyResultsDialog.applied":"Diterapkan secara bersih ({count})","codex.applyResultsDialog.close":"Tutup","codex.applyResultsDialog.conflicted":"Bertentangan ({count})","codex.applyResultsDialog.noDetails":"Detail file tidak tersedia","codex.applyResultsDialog.skipped":"Dilewati ({count})","codex.applyResultsDialog.title":"Terapkan hasil","codex.archiveInfo":"Lihat obrolan yang diarsipkan di {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrol Data","codex.archiveInfo.electron":"Lihat obrolan yang diarsipkan di {settingsLink}","codex.archiveInfo.extension":"Lihat obrolan yang diarsipkan di folder .codex Anda.","codex.archiveInfo.settingsLink":"Pengaturan","codex.banner.content.description":"Jalankan tugas secara paralel, lacak progres di mana pun, dan tinjau PR dengan AI.","codex.banner.content.headline":"Codex menangani semuanya.","codex.cloudTaskRow.archiveTask":"Arsipkan tugas","codex.cloudTaskRow.confirmArchiveTask":"Konfirmasi","codex.command.feedback":"Masukan","codex.command.findInThread":"Temukan","codex.command.forceReloadSkills":"Keahlian memuat ulang paksa","codex.command.logOut":"Keluar","codex.command.manageTasks":"Kelola tugas","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Kembali","codex.command.navigateForward":"Teruskan","codex.command.newThread":"Utas baru","codex.command.nextThread":"Utas selanjutnya","codex.command.openFolder":"Buka folder","codex.command.openSkills":"Buka keahlian","codex.command.openThreadOverlay":"Utas yang muncul","codex.command.personalitySettings":"Kepribadian","codex.command.previousThread":"Utas sebelumnya","codex.command.settings":"Pengaturan","codex.command.toggleDiffPanel":"Alihkan panel diff","codex.command.toggleSidebar":"Ubah sidebar","codex.command.toggleTerminal":"Ubah terminal","codex.commandGroup.app":"Aplikasi","codex.commandGroup.configure":"Konfigurasi","codex.commandGroup.navigation":"Navigasi","codex.commandGroup.panels":"Panel","codex.commandGroup.skills":"Keahlian","codex.commandGroup.thread":"Utas","codex.commandGroup.workspace":"Proyek","codex.commandMenu.noResults":"Tidak ada kecocokan","codex.commandMenu.searchPlaceholder":"Cari perintah","codex.commandMenu.suggestedGroup":"Disarankan","codex.commandMenu.switchWorkspace":"Ganti proyek","codex.commandMenu.title":"Menu perintah","codex.common.retry":"Coba lagi","codex.composer.searchBranches":"Cari cabang","codex.dialog.basic.body":"Ini adalah dialog modal simpel menggunakan wrapper kami untuk Radix Dialog.","codex.dialog.basic.cancel":"Batalkan","codex.dialog.basic.confirm":"Konfirmasi","codex.dialog.basic.open":"Buka Dialog","codex.dialog.basic.title":"Dialog Sampel","codex.dialog.long.close":"Tutup","codex.dialog.long.line":"Baris {index} yang dapat digulir untuk mendemonstrasikan konten panjang dalam dialog.","codex.dialog.long.open":"Buka Dialog Panjang","codex.dialog.long.title":"Dialog Konten Panjang","codex.dialog.unstyled.body":"Kisah ini menunjukkan cara penelepon dapat sepenuhnya melakukan kontrol gaya konten dialog.","codex.dialog.unstyled.open":"Buka Dialog Tanpa Gaya","codex.dialog.unstyled.title":"Konten Tanpa Gaya","codex.diff.openInEditorPrompt.openButton":"Buka di editor","codex.diff.openInEditorPrompt.singleLine":"File ini terlalu besar untuk ditampilkan di sni.","codex.diffView.failedToDecodeBase64Diff":"Gagal mendekodekan base64 diff","codex.diffView.filesChanged":"{fileCount, plural, other {# file diubah}}","codex.diffView.imagePreviewAlt":"Pratinjau gambar","codex.diffView.imagePreviewEmpty":"Tidak ada gambar","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Data diff tidak ada","codex.diffView.pdfPreview.nextPage":"Halaman selanjutnya","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Halaman sebelumnya","codex.diffView.pdfPreviewEmpty":"Tidak ada pratinjau PDF","codex.diffView.pdfPreviewError":"Tidak dapat merender pratinjau PDF","codex.diffView.richPreviewDisable":"Nonaktifkan pratinjau lengkap","codex.diffView.richPreviewEnable":"Aktifkan pratinjau lengkap","codex.diffView.richPreviewLoading":"Memuat pratinjau…","codex.diffView.richPreviewToggle":"Ubah pratinjau lengkap","codex.diffView.switchToUnified":"Beralif ke diff terpadu","codex.environmentSelector.noEnvironment":"Environment tidak ada","codex.environments.environmentSettings":"Penyiapan environment","codex.environments.learnMore":"Pelajari selengkapnya","codex.environments.listError":"Gagal memuat environment","codex.environments.noEnvironmentsFound":"Environment tidak ditemukan","codex.environments.searchError":"Gagal mencari environment.","codex.errorBoundary.genericError":"Ups, terjadi kesalahan","codex.errorBoundary.goHome":"Coba lagi","codex.file.patch.missing":"Tidak dapat membangun patch untuk file ini.","codex.gallery.automations.cwdLabel":"Proyek","codex.gallery.automations.nameLabel":"Nama","codex.gallery.automations.namePlaceholder":"Ringkas tugas","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Deskripsikan yang seharusnya dilakukan Codex","codex.gallery.dialogs.automation.label":"Dialog otomatisasi","codex.gallery.dialogs.basic.body":"Gunakan tata letak ini untuk konfirmasi lugas atau formulir singkat.","codex.gallery.dialogs.basic.cancel":"Batalkan","codex.gallery.dialogs.basic.confirm":"Konfirmasi","codex.gallery.dialogs.basic.label":"Dialog dasar","codex.gallery.dialogs.basic.title":"Dialog sampel","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Jelaskan masalahnya","codex.gallery.dialogs.feedbackSubmission.bad":"Hasil buruk","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Hasil bagus","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Sertakan log sesi Codex saat ini","codex.gallery.dialogs.feedbackSubmission.label":"Penyerahan masukan","codex.gallery.dialogs.feedbackSubmission.other":"Lainnya","codex.gallery.dialogs.feedbackSubmission.placeholder":"Jelaskan masalahnya di sini","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"Pemeriksaan Keamanan","codex.gallery.dialogs.feedbackSubmission.submit":"Kirim","codex.gallery.dialogs.feedbackSubmission.title":"Masukan","codex.gallery.dialogs.feedbackSuccess.body":"Masukan berhasil diunggah. Jika masalah tetap terjadi, harap buka GitHub issue atau sebut id utas pada masalah terbuka yang sudah ada:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Tutup","codex.gallery.dialogs.feedbackSuccess.label":"Masukan berhasil","codex.gallery.dialogs.feedbackSuccess.title":"Masukan berhasil diunggah","codex.gallery.dialogs.gitApplyResults.applied":"Diterapkan secara bersih (2)","codex.gallery.dialogs.gitApplyResults.close":"Tutup","codex.gallery.dialogs.gitApplyResults.conflicted":"Bertentangan (1)","codex.gallery.dialogs.gitApplyResults.label":"Terapkan hasil","codex.gallery.dialogs.gitApplyResults.title":"Terapkan hasil","codex.gallery.dialogs.gitPushError.body":"Tarik perubahan terbaru atau push secara paksa jika Anda tahu riwayat jarak jauh aman untuk ditimpa.","codex.gallery.dialogs.gitPushError.cancel":"Batalkan","codex.gallery.dialogs.gitPushError.force":"Push secara paksa","codex.gallery.dialogs.gitPushError.label":"Kesalahan push","codex.gallery.dialogs.gitPushError.subtitle":"Cabang Anda berada di balik origin/main.","codex.gallery.dialogs.gitPushError.title":"Gagal mendorong perubahan","codex.gallery.dialogs.gitRevert.cancel":"Batalkan","codex.gallery.dialogs.gitRevert.confirm":"Balikkan","codex.gallery.dialogs.gitRevert.label":"Batalkan perubahan","codex.gallery.dialogs.gitRevert.skip":"Jangan tanya lagi","codex.gallery.dialogs.gitRevert.subtitle":"Tindakan ini akan menghapus semua perubahan ini.","codex.gallery.dialogs.gitRevert.title":"Batalkan perubahan?","codex.gallery.dialogs.longForm.label":"Dialog formulir panjang","codex.gallery.dialogs.proseModal.body":"Gaya modal ini digunakan untuk instruksi lebih panjang, onboarding, atau blok konten yang berlimpah.","codex.gallery.dialogs.proseModal.close":"Tutup","codex.gallery.dialogs.proseModal.subtitle":"Bagikan panduan atau dokumentasi formulir lebih panjang di sini.","codex.gallery.dialogs.proseModal.title":"Modal prosa","codex.gallery.dialogs.submitBlocked.label":"Serahkan diblokir","codex.gallery.dialogs.submitBlocked.message":"Pesan Anda tidak dapat dikirim karena proyeknya tidak tersedia.","codex.gallery.dialogs.submitBlocked.ok":"OKE","codex.gallery.dialogs.submitBlocked.title":"Tidak dapat mengirim pesan","codex.gallery.dialogs.title":"Dialog","codex.gallery.dropdown.filterPlaceholder":"Filter item","codex.gallery.dropdowns.actionRow":"Baris tindakan","codex.gallery.dropdowns.actionRow.disabled":"Tindakan dinonaktifkan","codex.gallery.dropdowns.actionRow.primary":"Tindakan primer","codex.gallery.dropdowns.actionRow.secondary":"Tindakan sekunder","codex.gallery.dropdowns.actionRow.trigger":"Tampilkan tindakan","codex.gallery.dropdowns.basic":"Menu dropdown dasar","codex.gallery.dropdowns.basic.newFile":"File baru","codex.gallery.dropdowns.basic.newFolder":"Folder baru","codex.gallery.dropdowns.basic.openSettings":"Buka pengaturan","codex.gallery.dropdowns.basic.title":"Tindakan cepat","codex.gallery.dropdowns.basic.trigger":"Buka menu","codex.gallery.dropdowns.basic.upload":"Unggah","codex.gallery.dropdowns.panel":"Permukaan panel","codex.gallery.dropdowns.panel.apply":"Terapkan","codex.gallery.dropdowns.panel.body":"Tinjau diff dan terapkan ke proyek Anda.","codex.gallery.dropdowns.panel.preview":"Pratinjau","codex.gallery.dropdowns.panel.title":"Terapkan perubahan","codex.gallery.dropdowns.panel.trigger":"Buka panel","codex.gallery.dropdowns.search":"Menu dropdown yang dapat dicari","codex.gallery.dropdowns.search.first":"Saluran Alfa","codex.gallery.dropdowns.search.second":"Cabang Beta","codex.gallery.dropdowns.search.third":"Kandidat rilis","codex.gallery.dropdowns.search.trigger":"Filter item","codex.gallery.dropdowns.submenu":"Menu dropdown dengan submenu","codex.gallery.dropdowns.submenu.optionA":"Proyek alpha","codex.gallery.dropdowns.submenu.optionB":"Proyek beta","codex.gallery.dropdowns.submenu.optionC":"Proyek gamma","codex.gallery.dropdowns.submenu.primary":"Tetapkan pemilik","codex.gallery.dropdowns.submenu.secondary":"Pindahkan ke","codex.gallery.dropdowns.submenu.tertiary":"Arsipkan","codex.gallery.dropdowns.submenu.trigger":"Pilih tindakan","codex.gallery.dropdowns.title":"Menu dropdown","codex.gallery.inbox.automations.close":"Tutup","codex.gallery.inbox.automations.popover.cardTitle":"Kelola otomatisasi","codex.gallery.inbox.automations.popover.dialogTitle":"Kelola otomatisasi","codex.header.settingsTooltip":"Pengaturan","codex.hunk.patch.error":"Gagal men-stage","codex.hunk.patch.missing":"Tidak dapat membangun patch untuk hunk ini.","codex.hunk.patch.partialSuccess":"Berhasil sebagian","codex.hunk.patch.revertError":"Gagal mengurungkan stage","codex.hunk.patch.revertSuccess":"Berhasil mengurungkan stage","codex.hunk.patch.success":"Berhasil men-stage","codex.legal.autonomy.details":"Untuk detail selengkapnya, lihat {link}","codex.legal.autonomy.details.link":"Dokumen Codex","codex.legal.autonomy.title":"Tentukan seberapa jauh otonomi yang ingin Anda berikan","codex.legal.backButton":"Kembali","codex.legal.cloud.taskOne.meta":"openai/agi · 12 Okt","codex.legal.cloud.taskOne.title":"Jelaskan repositori kepada desainer baru","codex.legal.cloud.taskThree.meta":"openai/codex · 8 Okt","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Buat tema mode gelap","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 Okt","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Perbaiki bug onboarding","codex.legal.continue.apikey":"Lanjutkan","codex.legal.continueButton":"Berikutnya","codex.legal.copilot.details":"Menggunakan paket Copilot Anda untuk semua panggilan, penagihan, dan limit pemakaian model. Penggunaan ekstensi Codex tunduk pada {oaiTos} dan {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Ketentuan Layanan GitHub","codex.legal.copilot.oaiTosLink":"Ketentuan layanan Codex OpenAI","codex.legal.copilot.title":"Didukung oleh GitHub Copilot","codex.legal.mistakes.review":"Tinjau kode yang ditulis dan perintah yang dijalankan","codex.legal.mistakes.title":"ChatGPT dapat membuat kesalahan","codex.legal.powered.details":"Menggunakan limit pemakaian paket Anda dan {link}","codex.legal.powered.details.link":"preferensi data pelatihan","codex.legal.powered.title":"Didukung oleh akun ChatGPT Anda","codex.legal.step.cloud.subtitle":"Kirim tugas ke Codex untuk berjalan di latar belakang agar Anda bisa tetap fokus dan bergerak lebih cepat.","codex.legal.step.cloud.title":"Serahkan ke Codex di cloud","codex.legal.step.intro.subtitle":"Codex menavigasi, mengedit, menjalankan perintah, dan mengeksekusi test langsung di repo Anda. Didukung oleh akun ChatGPT Anda.","codex.legal.step.intro.title":"Codex dalam IDE Anda","codex.legal.step.todo.subtitle":"Tulis komentar TODO dan konversi menjadi tugas Codex dalam satu klik saja.","codex.legal.step.todo.title":"Ubah TODO menjadi tugas Codex","codex.legal.todo.heading":"TODO: implementasikan skema","codex.localConversation.closeImagePreview":"Tutup pratinjau gambar","codex.localConversation.userImageAttachment":"Lampiran pengguna","codex.localTaskRow.archiveTask":"Arsipkan utas","codex.localTaskRow.awaitingApproval":"Menunggu persetujuan","codex.localTaskRow.awaitingResponse":"Menunggu tanggapan","codex.localTaskRow.confirmArchiveTask":"Konfirmasi","codex.loggedOut.apiKeyPrompt.cancel":"Batalkan","codex.loggedOut.apiKeyPrompt.confirm":"OKE","codex.loggedOut.apiKeyPrompt.getKey":"Dapatkan Kunci API","codex.loggedOut.apiKeyPrompt.inputLabel":"Masukkan kunci API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tugas cloud dinonaktifkan dengan kunci API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tugas cloud dinonaktifkan dengan Copilot dan kunci API","codex.loggedOut.signIn":"Masuk dengan ChatGPT","codex.loggedOut.signIn.cancel":"Batalkan masuk","codex.loggedOut.signInWithCopilot":"Masuk dengan GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Gunakan Kunci API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Alat {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Dipanggil","codex.mcpTool.collapsedLabel.verb.calling":"Memanggil ","codex.mcpTool.embeddedResource.contentLabel":"Konten","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tipe MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Alat tidak menghasilkan konten","codex.mcpTool.rawPayloadHeading":"{server} mentah. Payload panggilan alat {tool}.","codex.menu.recent":"Terkini","codex.menu.seeAllHistory":"Lihat semua riwayat","codex.modelCapacityBanner.headline.noReset":"{modelName} sedang penuh kapasitasnya. Coba lagi nanti, atau mulai percakapan baru dengan model lain.","codex.modelCapacityBanner.headline.withReset":"{modelName} sedang penuh kapasitasnya. Coba lagi setelah {resetDate}, atau mulai percakapan baru dengan model lain.","codex.modelCapacityBanner.title":"Model yang dipilih sedang penuh kapasitasnya","codex.patch.change.contentsDeleted":"Konten dihapus","codex.patch.change.created":"Dibuat","codex.patch.change.created-file":"File telah dibuat","codex.patch.change.creating":"Membuat","codex.patch.change.deleted":"Dihapus","codex.patch.change.deleted-file":"File telah dihapus","codex.patch.change.deleting":"Menghapus","codex.patch.change.edited":"Diedit","codex.patch.change.edited-file":"File yang diedit","codex.patch.change.editing":"Mengedit","codex.patch.change.noChanges":"Tidak ada perubahan","codex.patch.change.rejected-add":"Ditolak","codex.patch.change.rejected-delete":"Ditolak","codex.patch.change.rejected-edit":"Ditolak","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} dari {total} tugas selesai","codex.plan.todoListCreated":"Daftar to-do dibuat dengan {total} tugas","codex.profileDropdown.apiKeyAuth":"Masuk dengan kunci API","codex.profileDropdown.codexSettings":"Pengaturan Codex","codex.profileDropdown.copilotAuth":"Masuk dengan Copilot","codex.profileDropdown.defaultAccountTitle":"Akun default","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter untuk mengirim prompt panjang","codex.profileDropdown.enterBehaviorError":"Gagal memperbarui pengaturan","codex.profileDropdown.getPlus":"Upgrade untuk limit lebih tinggi","codex.profileDropdown.keyboardShortcuts":"Pintasan keyboard","codex.profileDropdown.language":"Bahasa","codex.profileDropdown.languageDefault":"Deteksi Otomatis","codex.profileDropdown.languageSearchPlaceholder":"Telusuri bahasa","codex.profileDropdown.languageUpdateError":"Gagal memperbarui bahasa","codex.profileDropdown.logOut":"Keluar","codex.profileDropdown.mcp":"Pengaturan MCP","codex.profileDropdown.openConfigToml":"Buka config.toml","codex.profileDropdown.openConfigToml.wsl":"Buka config.toml di environment WSL","codex.profileDropdown.openExtensionSettings":"Buka pengaturan","codex.profileDropdown.openMcpSettings":"Buka pengaturan MCP","codex.profileDropdown.openOnStartup":"Buka saat mulai","codex.profileDropdown.openOnStartupError":"Gagal memperbarui pengaturan","codex.profileDropdown.openSkillsSettings":"Buka pengaturan Keahlian","codex.profileDropdown.personalAccountTitle":"Akun pribadi","codex.profileDropdown.queueFollowUps":"Lanjutan antrean","codex.profileDropdown.queueFollowUpsError":"Gagal memperbarui pengaturan","codex.profileDropdown.readDocs":"Baca dokumen","codex.profileDropdown.readSkillsDocs":"Baca dokumen","codex.profileDropdown.runInWsl":"Berjalan di WSL","codex.profileDropdown.runInWslError":"Gagal memperbarui pengaturan","codex.profileDropdown.runInWslTooltip":"Menjalankan Codex dalam WSL. Direkomendasikan untuk keamanan sandbox dan kinerja lebih baik.","codex.profileDropdown.settings":"Pengaturan IDE","codex.profileDropdown.settingsPage":"Pengaturan","codex.profileDropdown.signInWithOpenAI":"Masuk dengan ChatGPT","codex.profileDropdown.skills":"Pengaturan Keahlian","codex.profileDropdown.switchToCopilotAccount":"Gunakan akun Copilot","codex.profileDropdown.switchToOpenAIAccount":"Gunakan akun OpenAI","codex.profileDropdown.todoCodelens":"Perbaiki komentar TODO","codex.profileDropdown.todoCodelensError":"Gagal memperbarui pengaturan","codex.profileDropdown.windowsDocumentation":"Dokumentasi Windows","codex.profileFooter.signedInFallback":"Pengaturan","codex.profileFooter.upgrade":"Upgrade","codex.recentTasksMenu.clearSearch":"Kosongkan pencarian","codex.recentTasksMenu.cloud":"Tugas cloud","codex.recentTasksMenu.count":"{count, plural, =0 {Tidak ada tugas yang sedang berlangsung} other {# tugas sedang berlangsung}}","codex.recentTasksMenu.empty":"Belum ada utas","codex.recentTasksMenu.errorCloud":"Gagal memuat tugas.","codex.recentTasksMenu.errorCloud.inline":"Gagal memuat tugas cloud.","codex.recentTasksMenu.filterAll":"Semua","codex.recentTasksMenu.filterCloudTasks":"Filter tugas cloud","codex.recentTasksMenu.filterTooltip":"Filter tugas berdasarkan lingkungan","codex.recentTasksMenu.local":"Tugas lokal","codex.recentTasksMenu.recent":"Semua tugas","codex.recentTasksMenu.search":"Cari tugas terkini","codex.recentTasksMenu.searchEmpty":"Tidak ada hasil","codex.recentTasksMenu.tooltip":"Riwayat tugas","codex.recentTasksMenu.trigger":"Tugas terkini. {count, plural, other {# sedang berlangsung}}","codex.remoteConversation.applyDiff.applyCta":"Terapkan perubahan","codex.remoteConversation.applyDiff.dropdownTitle":"Terapkan perubahan ke cabang lokal","codex.remoteConversation.applyDiff.revertCta":"Batalkan perubahan","codex.remoteConversation.closeImagePreview":"Tutup pratinjau gambar","codex.remoteConversation.codexCloudTask":"Anda sedang melihat tugas <u>cloud Codex</u>","codex.remoteConversation.errorWithMessage":"Kesalahan: {message}","codex.remoteConversation.loadingImage":"Memuat gambar","codex.remoteConversation.openInWeb":"Buka di web","codex.remoteConversation.streaming":"Memulai","codex.remoteConversation.turnFailed":"Kesalahan terjadi selama tugas ini.","codex.remoteConversation.turnTab.loading":"Percobaan {number}","codex.remoteConversation.turnTab.title":"Percobaan {number}","codex.remoteConversation.userImageAttachment":"Lampiran pengguna","codex.remoteConversation.viewPreviousTurns":"Buka di web","codex.remoteConversation.viewPreviousTurns.buttonText":"Buka","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Buka di web","codex.review.copyGitApplyCommand":"Salin perintah git apply","codex.review.copyGitApplyCommand.toast":"Perintah git apply telah disalin ke clipboard","codex.review.diffTooLarge.description":"Diff ini terlalu besar untuk ditampilkan dalam Tinjauan.","codex.review.diffTooLarge.title":"Diff terlalu besar untuk ditampilkan","codex.review.expandOrCollapseDiffButton.collapse":"Ciutkan semua perbedaan","codex.review.expandOrCollapseDiffButton.expand":"Perluas semua diff","codex.review.expandOrCollapseDiffMenu.collapse":"Ciutkan semua perbedaan","codex.review.expandOrCollapseDiffMenu.expand":"Perluas semua diff","codex.review.fileSearch.clear":"Bersihkan filter file","codex.review.fileSearch.empty":"Tidak satu file pun cocok dengan filter saat ini.","codex.review.fileSearch.label":"Filter file","codex.review.fileSearch.placeholder":"Filter file…","codex.review.filesChanged":"{num, plural, =0 {Tidak ada file diubah} other {# file diubah}}","codex.review.find.loadMore":"Muat lebih banyak kecocokan","codex.review.fullReview.hideFileTree":"Sembunyikan pohon file","codex.review.fullReview.showFileTree":"Tampilkan pohon file","codex.review.header.moreOptions":"Tinjau opsi","codex.review.largeDiff.banner":"Diff besar terdeteksi — menampilkan satu file dalam satu waktu.","codex.review.loadFullFiles.disable":"Jangan memuat file lengkap","codex.review.loadFullFiles.enable":"Muat file lengkap","codex.review.noDiff":"Perubahan file akan muncul di sini","codex.review.noDiff.gitInit.createRepository":"Buat repositori git","codex.review.noDiff.gitInit.creating":"Membuat...","codex.review.noDiff.gitInit.error":"Inisialisasi Git gagal: {message}","codex.review.noDiff.gitInit.success":"Repositori git dibuat","codex.review.noDiff.gitRepoRequired.description":"Lacak dan urungkan perubahan di proyek ini","codex.review.noDiff.gitRepoRequired.title":"Buat repositori Git","codex.review.noDiff.orNoLongerAvailable":"atau diff terbaru tidak lagi tersedia","codex.review.noDiff.reverted":"Giliran terakhir telah dikembalikan","codex.review.noDiff.revertedOrCommitted":"Giliran terakhir telah dikembalikan atau di-commit","codex.review.refreshGitQueries":"Perbarui","codex.review.revert.file.error":"Gagal mengembalikan {path}","codex.review.revert.file.partialSuccess":"Berhasil mengembalikan sebagian {path}","codex.review.revert.file.success":"Mengembalikan {path}","codex.review.revert.hunk.error":"Gagal mengembalikan hunk {hunkNumber} dalam {path}","codex.review.revert.hunk.partialSuccess":"Berhasil mengembalikan sebagian hunk {hunkNumber} dalam {path}","codex.review.revert.hunk.success":"Mengembalikan hunk {hunkNumber} dalam {path}","codex.review.revert.section.error":"Gagal mengembalikan bagian","codex.review.revert.section.partialSuccess":"Bagian berhasil dikembalikan sebagian","codex.review.revert.section.success":"Bagian sudah dikembalikan","codex.review.revertDialog.cancel":"Batalkan","codex.review.revertDialog.confirm":"Konfirmasi","codex.review.revertDialog.message":"Tindakan ini akan menghapus semua perubahan ini.","codex.review.revertDialog.skip":"Jangan tanya lagi","codex.review.revertDialog.title":"Batalkan perubahan?","codex.review.richPreview.disable":"Nonaktifkan pratinjau lengkap","codex.review.richPreview.enable":"Aktifkan pratinjau lengkap","codex.review.source.cloud":"Perubahan cloud","codex.review.source.local.all":"Semua perubahan cabang","codex.review.source.local.lastTurn":"Perubahan giliran terakhir","codex.review.source.local.uncommitted":"Perubahan yang belum di-commit","codex.review.source.worktree":"Perubahan worktree yang belum di-commit","codex.review.stageFilter.empty.staged.description":"Terima edit untuk meneruskan ke staging","codex.review.stageFilter.empty.staged.title":"Tidak ada perubahan yang direncanakan","codex.review.stageFilter.empty.unstaged.description":"Perubahan kode akan muncul di sini","codex.review.stageFilter.empty.unstaged.title":"Tidak ada perubahan yang tidak direncanakan","codex.review.stageFilter.staged":"Di-stage","codex.review.stageFilter.staged.count":"Di-stage · {count}","codex.review.stageFilter.unstaged":"Mengurungkan di-stage","codex.review.stageFilter.unstaged.count":"Mengurungkan di-stage · {count}","codex.review.switchToSplit":"Beralih ke diff terpisah","codex.review.switchToUnified":"Beralif ke diff terpadu","codex.review.toggleDiffView":"Alihkan tampilan diff","codex.review.wordDiffs.disable":"Nonaktifkan diff kata","codex.review.wordDiffs.enable":"Aktifkan diff kata","codex.review.wrap.disable":"Nonaktifkan bungkus kata","codex.review.wrap.enable":"Aktifkan bungkus kata","codex.section.patch.missing":"Tidak dapat membangun patch untuk bagian ini.","codex.shell.collapse":"Ciutkan shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Menyalin konten shell","codex.shell.copy.copyTooltip":"Salin konten shell","codex.shell.copyCommand":"Salin command","codex.shell.copyOutput":"Salin keluaran","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Perluas shell","codex.shell.name":"Shell","codex.shell.noOutput":"Tidak ada keluaran","codex.signInFailed.message":"Gagal masuk: {rawMessage}","codex.stories.toast.show":"Tampilkan Toast","codex.stories.tooltip.basic":"Ini adalah tooltip","codex.stories.tooltip.hoverMe":"Arahkan kursor ke sini","codex.stories.tooltip.largerOffset":"Tooltip ini memiliki pergeseran lebih besar","codex.stories.tooltip.offsetButton":"Pergeseran lebih besar","codex.stories.tooltip.shortcutButton":"Dengan pintasan","codex.stories.tooltip.withShortcut":"Ubah terminal","codex.taskRow.title":"Utas baru","codex.taskRowLayout.confirm":"Konfirmasi","codex.threadFindBar.chatFilter":"Cari obrolan","codex.threadFindBar.close":"Tutup temukan","codex.threadFindBar.diffFilter":"Cari diff","codex.threadFindBar.label":"Temukan dalam utas","codex.threadFindBar.nextResult":"Hasil selanjutnya","codex.threadFindBar.noResults":"0 hasil","codex.threadFindBar.placeholder":"Cari utas...","codex.threadFindBar.placeholder.extension":"Cari utas...","codex.threadFindBar.placeholder.review":"Cari diff...","codex.threadFindBar.placeholder.review.extension":"Cari diff...","codex.threadFindBar.previousResult":"Hasil sebelumnya","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# file diubah}}","codex.unifiedDiff.inlineLargeFile":"Terlalu besar untuk dirender secara inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Urungkan","codex.unifiedDiff.revertPatchError":"Gagal mengembalikan perubahan","codex.unifiedDiff.revertPatchSuccess":"Perubahan dikembalikan","codex.unifiedDiff.reviewChangesSuffix":"perubahan","codex.unifiedDiff.reviewShort":"Tinjau","codex.unifiedDiff.viewDiffTooltip":"Tinjau","codex.upsellBanner.business.headline":"Untuk mendapatkan akses lebih sekarang, kirimkan permintaan ke admin Anda, atau tunggu hingga {resetDate}.","codex.upsellBanner.cbp.headline":"Untuk mendapatkan akses lebih sekarang, kirimkan permintaan ke admin Anda.","codex.upsellBanner.cta.addCredits":"Tambahkan Kredit","codex.upsellBanner.cta.upgradeAccount":"Upgrade","codex.upsellBanner.cta.viewUsage":"Lihat penggunaan","codex.upsellBanner.free.trialHeadline":"Batas penggunaan Anda akan direset pada {resetDate}. Untuk terus menggunakan Codex dan mendapatkan akses ke GPT-5.3-Codex, mulai uji coba Plus gratis Anda hari ini.","codex.upsellBanner.freeOrGo.headline":"Batas penggunaan Anda direset pada {resetDate}. Untuk terus menggunakan Codex, upgrade ke Plus hari ini.","codex.upsellBanner.general.headline":"Batas penggunaan Anda direset pada {resetDate}.","codex.upsellBanner.general.title":"Anda kehabisan pesan Codex","codex.upsellBanner.go.trialHeadline":"Batas penggunaan Anda akan direset pada {resetDate}. Untuk terus menggunakan Codex, mulai uji coba Plus gratis Anda hari ini.","codex.upsellBanner.plus.headline":"Batas penggunaan Anda direset pada {resetDate}. Untuk terus menggunakan Codex, tambahkan kredit atau upgrade ke Pro hari ini.","codex.upsellBanner.pro.headline":"Batas penggunaan Anda direset pada {resetDate}. Tambahkan kredit untuk terus menggunakan Codex sekarang.","codex.userMessage.autoResolveSync":"Selesaikan konflik secara otomatis","codex.userMessage.commentCount":"{count, plural, other {# komentar}}","codex.userMessage.copiedAriaLabel":"Disalin","codex.userMessage.copiedTooltip":"Disalin","codex.userMessage.copyAriaLabel":"Salin pesan","codex.userMessage.copyTooltip":"Salin","codex.userMessage.implementPlan":"Terapkan rencana","codex.userMessage.noContent":"(Tidak ada konten)","codex.userMessage.priorConversation":"Merujuk percakapan sebelumnya","codex.userMessage.reviewMode":"Mode peninjauan","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"untuk {query}","codex.webSearch.summary.verb.completed":"Selesai mencari di web","codex.webSearch.summary.verb.inProgress":"Sedang mencari di web","codex.windowsInstallWslBanner.dismiss":"Tutup","codex.windowsInstallWslBanner.installWslCta":"Aktifkan sandbox","codex.windowsInstallWslBanner.learnMore":"Pelajari selengkapnya","codex.windowsSandboxBanner.content":"Mode agen menggunakan sandbox eksperimental pada Windows untuk membatasi akses sistem file dan jaringan. {sandboxLink}","codex.windowsSandboxBanner.title":"Aktifkan sandbox untuk mode Agen","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Pengaturan Windows","codexUpgradeModal.body":"Model coding agentik terdepan dan terbaru kami — lebih cerdas, lebih cepat, dan lebih mampu untuk pekerjaan teknis umum. {link}","codexUpgradeModal.close":"Tutup","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Pelajari selengkapnya","codexUpgradeModal.title":"Memperkenalkan GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Coba GPT-5.3-Codex sekarang","codexUpgradeModal.useExistingModel":"Lanjutkan dengan model saat ini","commentAttachments.numComments":"{count, plural, other {# komentar}}","commentAttachments.removeAriaLabel":"Hapus lampiran komentar","common.close":"Tutup","composer.addContext.openFilePickerError":"Tidak dapat membuka pemilih file","composer.addContextDropdown.ariaLabel":"Tambahkan file dan lainnya","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Tambahkan file dan lainnya","composer.addPhotosAndFiles":"Tambah foto & file","composer.atMentionList.emptyQuery":"Ketik untuk mencari file","composer.atMentionList.loading":"Menelusuri file…","composer.atMentionList.noResults":"Tidak ada hasil","composer.attemptsSelector.option":"{count, plural, other {# versi}}","composer.attemptsSelector.tooltip":"Jumlah upaya paralel yang dapat dilakukan Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"Menjalankan {count, plural, other {# terminal}}","composer.backgroundTerminals.stop":"Stop","composer.cleanBackgroundTerminals.error":"Tidak dapat menghentikan terminal latar belakang.","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokal","composer.cloudFollowUp.whereRun":"Tindak lanjut ini perlu dijalankan di mana?","composer.cloudTaskCreationError":"Kesalahan saat membuat tugas cloud","composer.cloudTaskError":"Kesalahan saat membuat tugas","composer.contextWindow.autoCompactionTooltipLine1":"Codex secara otomatis memadatkan konteksnya","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Jendela konteks:","composer.contextWindowUsageStatusFull":"{usage}% terpakai","composer.contextWindowUsageStatusLeft":"{usage}% digunakan ({remaining}% tersisa)","composer.contextWindowUsageTooltip":"{usedTokens}rb / {contextWindow}rb token digunakan","composer.customCliTooltip":"Menggunakan executable CLI kustom","composer.dictation.aria":"Dikte","composer.dictation.cancel.aria":"Hentikan pendiktean","composer.dictation.cancel.tooltip":"Hentikan pendiktean","composer.dictation.startError":"Tidak dapat memulai pendiktean","composer.dictation.submit.aria":"Transkripsikan dan kirimkan","composer.dictation.submit.tooltip":"Transkripsikan dan kirimkan","composer.dictation.tooltip":"Tahan untuk mendikte","composer.dictation.transcribeError":"Tidak dapat mentranskripsikan audio","composer.dictation.unsupported":"Pendiktean tidak tersedia pada perangkat ini","composer.dropOverlay.holdShift":"Tahan {key} untuk menjatuhkan","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Buat yang baru","composer.environmentSelector.error":"Kesalahan saat memuat lingkungan","composer.environmentSelector.goBack":"Kembali ke komposer","composer.environmentSelector.title":"Pilih lingkungan","composer.environmentSelector.tooltip":"Pilih lingkungan cloud","composer.feedbackSlashCommand.title":"Masukan","composer.filePicker.selectFile":"Pilih sebuah file","composer.filePicker.selectFiles":"Pilih beberapa file","composer.followerTooltip":"Untuk melanjutkan, kembali ke jendela tempat percakapan ini dimulai.","composer.footer.branchSwitch.checkoutError":"Gagal berpindah cabang: {message}","composer.footer.branchSwitch.createAndCheckout":"Buat dan checkout cabang baru…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Commit perubahan untuk membuat dan checkout cabang baru","composer.footer.branchSwitch.createBranchError":"Gagal membuat cabang: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nama cabang","composer.footer.branchSwitch.createDialog.branchExistsError":"Cabang sudah ada.","composer.footer.branchSwitch.createDialog.close":"Tutup","composer.footer.branchSwitch.createDialog.createAndCheckout":"Buat dan checkout","composer.footer.branchSwitch.createDialog.placeholder":"cabang-baru","composer.footer.branchSwitch.createDialog.title":"Buat dan checkout cabang","composer.footer.branchSwitch.createDialog.trailingSlashError":"Nama cabang tidak dapat diakhiri dengan “/”.","composer.footer.branchSwitch.tooltip":"Beralih cabang","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Commit perubahan di {fileCount, plural, other {# file}} untuk check out {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"perubahan di {fileCount, plural, other {# file}} untuk check out {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Batalkan","composer.footer.branchSwitch.uncommittedDialog.commit":"Commit dan ganti cabang…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Perubahan Anda pada file berikut akan ditimpa oleh  checkout:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Silakan commit perubahan Anda untuk melanjutkan","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"cabang yang dipilih","composer.footer.branchSwitch.uncommittedDialog.title":"Commit perubahan untuk berpindah cabang","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Tidak di-commit: {fileCount, plural, other {# file}}","composer.forkSlashCommand.description":"Fork utas ini ke lokal atau ke worktree baru","composer.forkSlashCommand.option.local.description":"Lanjutkan di utas lokal baru","composer.forkSlashCommand.option.local.title":"Fork ke lokal","composer.forkSlashCommand.option.worktree.description":"Lanjutkan di worktree baru","composer.forkSlashCommand.option.worktree.title":"Fork ke worktree baru","composer.forkSlashCommand.title":"Fork","composer.ideContextIndicator":"Konteks IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Sertakan konteks dari IDE seperti{br}status seleksi dan file yang terbuka.","composer.ideContextIndicator.tooltipToggle":"untuk beralih","composer.ideContextSlashCommand.disableDescription":"Nonaktifkan kontels IDE","composer.ideContextSlashCommand.enableDescription":"Sertakan pilihan saat ini, file yang terbuka, dan konteks lainnya dari IDE Anda","composer.ideContextSlashCommand.title":"Konteks IDE","composer.imageInputsUnsupported":"Model ini tidak mendukung masukan gambar. Coba model lain.","composer.imageUploadFailed":"Gagal mengunggah gambar","composer.includeIdeContextDropdown":"Sertakan konteks IDE","composer.includeIdeContextDropdown.ariaLabel":"Sertakan konteks IDE","composer.localCwdDropdown.addWorkspaceRoot":"Tambahkan proyek baru","composer.localCwdDropdown.noActiveRoot":"Pilih proyek  Anda","composer.localCwdDropdown.noResults":"Folder tidak ditemukan","composer.localCwdDropdown.title":"Pilih proyek  Anda","composer.localTaskError":"Kesalahan saat memulai percakapan","composer.mcpSlashCommand.description":"Tampilkan status server MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Tidak diautentikasi","composer.mcpStatus.authOauth":"Diautentikasi (OAuth)","composer.mcpStatus.authToken":"Diautentikasi (kunci API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Tutup","composer.mcpStatus.disabled":"Dinonaktifkan","composer.mcpStatus.emptyLabel":"Server:","composer.mcpStatus.emptyValue":"Tidak ada server MCP yang sudah dikonfigurasi","composer.mcpStatus.enabled":"Diaktifkan","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Tidak dapat memuat status MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agen","composer.mode.agentMode.auto.dropdownLabel":"Agen","composer.mode.agentMode.auto.optionLabel":"Agen","composer.mode.agentMode.changePermission":"Ganti model","composer.mode.agentMode.custom":"Kustom","composer.mode.agentMode.custom.dropdownLabel":"Kustom","composer.mode.agentMode.custom.option":"Kustom (config.toml)","composer.mode.agentMode.custom.optionLabel":"Kustom (config.toml)","composer.mode.agentMode.customInfo.cancel":"Batalkan","composer.mode.agentMode.customInfo.cli":"Anda bisa menyesuaikan pengaturan tersebut dari CLI atau dengan mengedit file secara langsung.","composer.mode.agentMode.customInfo.confirm":"Gunakan mode kustom","composer.mode.agentMode.customInfo.description":"Mode kustom menerapkan kebijakan persetujuan dan sandbox yang ditetapkan dalam <link>config.toml Anda</link> file.","composer.mode.agentMode.customInfo.docs":"Pelajari selengkapnya tentang mengonfigurasi kebijakan persetujuan dan sandbox dalam <link>dokumen environment eksekusi</link>.","composer.mode.agentMode.customInfo.refresh":"Segala perubahan akan diterapkan saat agen dijalankan kembali.","composer.mode.agentMode.customInfo.title":"Cara kerja mode kustom","composer.mode.agentMode.fullAccess":"Agen (akses penuh)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agen (akses penuh)","composer.mode.agentMode.fullAccess.optionLabel":"Agen (akses penuh)","composer.mode.agentMode.fullAccessConfirm.caution":"Berhati-hatilah saat mengaktifkan akses penuh. Tindakan ini meningkatkan secara signifikan risiko kehilangan serta kebocoran data, atau perilaku tidak diharapkan.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ya, lanjutkan saja","composer.mode.agentMode.fullAccessConfirm.description":"Saat berjalan dengan akses penuh, Codex dapat mengedit file pada komputer Anda dan menjalankan perintah dengan jaringan, tanpa persetujuan Anda.","composer.mode.agentMode.fullAccessConfirm.goBack":"Batalkan","composer.mode.agentMode.fullAccessConfirm.title":"Aktifkan akses penuh?","composer.mode.agentMode.readOnly":"Obrolan","composer.mode.agentMode.readOnly.dropdownLabel":"Obrolan","composer.mode.agentMode.readOnly.optionLabel":"Obrolan","composer.mode.agentMode.tooltip":"Ganti model","composer.mode.agentMode.tooltip.auto":"Baca dan edit file, juga jalankan perintah.","composer.mode.agentMode.tooltip.custom":"Gunakan kebijakan persetujuan dan sandbox terkini yang ditetapkan dalam config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex dapat mengedit file di luar proyek ini dan menjalankan perintah dengan akses jaringan. Berhati-hatilah saat menggunakannya.","composer.mode.agentMode.tooltip.readOnly":"Memerlukan persetujuan untuk mengedit file dan menjalankan perintah.","composer.mode.cloud.tooltip":"Bekerja di lingkungan cloud","composer.mode.contactAdmin":"Untuk mendapatkan akses lebih, kontak admin Anda","composer.mode.local":"Lokal","composer.mode.local.learnMore":"Pelajari selengkapnya","composer.mode.local.model.custom":"Kustom","composer.mode.local.model.loadingModel":"Memuat model","composer.mode.local.model.selecrReasoningEffort":"Pilih penalaran","composer.mode.local.model.selectModel":"Pilih model","composer.mode.local.model.tooltip":"Pilih model","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Tinggi","composer.mode.local.reasoning.low.label":"Rendah","composer.mode.local.reasoning.medium.label":"Medium","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Tidak ada","composer.mode.local.reasoning.xhigh.label":"Sangat Tinggi","composer.mode.localRemoteWhereRun":"Pilih tempat untuk menjalankan tugas","composer.mode.newTask.header":"Lanjutkan di","composer.mode.rateLimit.day":"{days}h","composer.mode.rateLimit.heading":"Limit pemakaian tersisa","composer.mode.rateLimit.hour":"{hours}j","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"Batas {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} limit minggu}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} Minggu}}","composer.mode.remote.connectToCloud":"Hubungkan web Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Siapkan environment via web Codex untuk mengaktifkan pengiriman tugas ke cloud.","composer.mode.remote.selectEnvironment":"Pilih lingkungan","composer.mode.remote.sendToCloud":"Kirim ke cloud","composer.mode.remote.setupViaWeb":"Siapkan lingkungan via web Codex","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Bekerja di lingkungan cloud","composer.mode.segmentedToggle.local.tooltip":"Bekerja di proyek lokal Anda","composer.mode.segmentedToggle.worktree.tooltip":"Bekerja di worktree paralel","composer.mode.upgradeToPlus":"Tingkatkan ke Plus","composer.mode.upgradeToPro":"Upgrade ke Pro","composer.mode.workLocally":"Proyek lokal","composer.mode.workLocally.currentBranchFallback":"cabang Anda","composer.mode.workLocally.tooltip":"Berfungsi pada {branchName}","composer.mode.worktree":"Worktree baru","composer.mode.worktree.submoduleWarning":"Repo ini memiliki submodul Git. Pembuatan worktree dapat gagal","composer.mode.worktree.tooltip":"Buat salinan proyek lokal Anda untuk bekerja secara paralel","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Mengganti model di tengah percakapan akan menurunkan performa.","composer.newChat.heading.browser":"Apa yang sebaiknya kami kodekan selanjutnya?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex menggunakan izin yang ditentukan dalam config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex memiliki akses penuh ke komputer Anda (risiko lebih tinggi)","composer.permissionsDropdown.custom.label":"Kustom (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Kustom (config.toml)","composer.permissionsDropdown.default.label":"Izin default","composer.permissionsDropdown.default.optionLabel":"Izin default","composer.permissionsDropdown.default.tooltip":"Codex secara otomatis menjalankan perintah di dalam sandbox","composer.permissionsDropdown.disabled.requirements":"Izin dikunci oleh requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Akses penuh dinonaktifkan oleh requirements.toml","composer.permissionsDropdown.fullAccess.label":"Akses penuh","composer.permissionsDropdown.fullAccess.optionLabel":"Akses penuh","composer.permissionsDropdown.trigger.tooltip":"Ubah izin","composer.personalitySlashCommand.description.friendly":"Hangat, kolaboratif, dan membantu","composer.personalitySlashCommand.description.pragmatic":"Ringkas, fokus pada tugas, dan langsung ke inti","composer.personalitySlashCommand.label.friendly":"Ramah","composer.personalitySlashCommand.label.pragmatic":"Pragmatis","composer.personalitySlashCommand.notApplicableSuffix":"(Tidak berlaku untuk model saat ini)","composer.personalitySlashCommand.title":"Kepribadian","composer.placeholder.cloudFollowUp.directFollowUp":"Tindak lanjut untuk tugas  cloud ini","composer.placeholder.cloudFollowUp.local":"Buat tugas lokal baru yang merujuk tugas cloud ini","composer.placeholder.cloudFollowUp.workingTree":"Buat tugas cloud baru yang menyertakan kode Anda saat ini dan akan merujuk tugas ini","composer.placeholder.localFollowUp.cloud":"Tindak lanjut dalam tugas cloud baru","composer.placeholder.localFollowUp.locally":"Minta perubahan tindak lanjut","composer.placeholder.newTask.cloud":"Minta Codex untuk melakukan apa pun di cloud","composer.placeholder.newTask.doAnything":"Minta Codex untuk melakukan apa pun","composer.placeholder.newTask.locally":"Tanya apa saja pada Codex, @ untuk menambah file, dan / untuk perintah","composer.planModeDropdown":"Mode paket","composer.planModeDropdown.ariaLabel":"Mode paket","composer.planModeIndicator":"Paket","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Buat rencana dengan Codex","composer.planModeIndicator.tooltipToggle":"untuk beralih","composer.planSlashCommand.disableDescription":"Matikan mode paket","composer.planSlashCommand.enableDescription":"Nyalakan mode paket","composer.planSlashCommand.title":"Mode paket","composer.priorContext.label":"Konteks sebelumnya","composer.priorContext.removeAriaLabel":"Hapus konteks sebelumnya","composer.queuedMessage.delete":"Hapus pesan dalam antrean","composer.queuedMessage.edit":"Edit pesan","composer.queuedMessage.more":"Tindakan pesan dalam antrean","composer.queuedMessage.sendNow":"Steer","composer.queuedMessage.sendNowTooltip":"Kirim sekarang tanpa mengganggu pekerjaan","composer.queuedMessage.turnOff":"Matikan antrean","composer.reasoningEffort.local.reasoning.tooltip":"Pilih upaya penalaran","composer.remote.branchStartingPoint":"Tugas ini harus dimulai dari cabang yang mana?","composer.remote.branchesSectionHeading":"Cabang","composer.remote.currentEditsSuffix.followUp":"Buat tugas baru yang merujuk pada tugas cloud ini.","composer.remote.currentEditsSuffix.useLocal":"dengan perubahan kode lokal","composer.remote.directFollowUp":"Jangan gunakan perubahan lokal","composer.remote.errorLoadingBranches":"Kesalahan saat memuat cabang","composer.remote.fromBranch":"Dari {branch}","composer.remote.fromCurrentBranch":"Dari {branch} (saat ini)","composer.remote.loadingMoreBranches":"Memuat…","composer.remote.localFileStateHeading":"Status file lokal","composer.remote.localWorkingTree":"Gunakan perubahan lokal","composer.remote.startingPoint":"Tugas ini harus dimulai dari kode yang mana?","composer.reviewMode.branches.error":"Tidak dapat memuat cabang","composer.reviewMode.branches.retry":"Coba lagi","composer.reviewMode.gitRoot.error":"Akar Git tidak ditemukan","composer.reviewMode.option.baseBranch.simple":"Tinjau menggunakan cabang dasar","composer.reviewMode.option.unstaged.simple":"Tinjau perubahan yang belum di-commit","composer.reviewMode.quickReviewError":"Gagal memulai peninjauan kode.","composer.reviewMode.title":"Peninjauan kode","composer.sandboxButton.unlock.disabled.tooltip":"Akses penuh dinonaktifkan oleh requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex dapat menggunakan sandbox eksperimental di Windows untuk membatasi akses sistem file dan jaringan. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Aktifkan sandbox Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Gunakan mode hanya-baca","composer.searchEnvironments":"Cari environment","composer.skillMentionList.app":"Aplikasi","composer.skillMentionList.appLogoAlt":"Logo {name}","composer.skillMentionList.loading":"Memuat keahlian...","composer.skillMentionList.noResults":"Belum ditemukan keahlian","composer.slashCommands.cloudEnvironment.title":"Environment cloud","composer.slashCommands.dialogLabel":"Menu perintah slash","composer.slashCommands.dialogTitle":"Perintah slash","composer.slashCommands.disabledTooltip":"Mulai percakapan baru untuk menggunakan perintah slash","composer.slashCommands.inputPlaceholder":"Cari","composer.slashCommands.noResults":"Tidak ada perintah","composer.slashCommands.skillsGroup":"Keahlian","composer.slashCommands.tooltip":"Jelajahi perintah slash","composer.status.close":"Tutup","composer.statusPlain.alertLabel":"Peringatan:","composer.statusPlain.alertValue":"{remaining}% tersisa pada {window}","composer.statusPlain.contextLabel":"Konteks:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} digunakan / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% tersisa","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Batas {modelName}:","composer.statusPlain.rateLimitDays":"Batas {count}h","composer.statusPlain.rateLimitFallbackLabel":"Batas laju:","composer.statusPlain.rateLimitHours":"Batas {count}j","composer.statusPlain.rateLimitLabelBase":"Batas laju","composer.statusPlain.rateLimitMinutes":"Batas {count}m","composer.statusPlain.rateLimitPercent":"{remaining}% tersisa","composer.statusPlain.rateLimitReset":"direset {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"waktu reset tidak tersedia","composer.statusPlain.rateLimitUnavailable":"Tidak tersedia","composer.statusPlain.sessionCopiedAriaLabel":"ID sesi sudah disalin","composer.statusPlain.sessionCopiedTooltip":"ID sudah disalin","composer.statusPlain.sessionCopyAriaLabel":"Salin ID sesi","composer.statusPlain.sessionCopyTooltip":"Salin ID","composer.statusPlain.sessionLabel":"Sesi:","composer.statusSlashCommand.description":"Tampilkan ID utas, penggunaan konteks, dan batas laju","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OKE","composer.submit.blockedDialogTitle":"Tidak dapat mengirim pesan","composer.submit.emptyMessage":"Masukkan pesan untuk memulai","composer.submit.imageInputsUnsupported":"Hapus gambar atau ganti model untuk mengirim pesan ini.","composer.submit.loadingLocalConfig":"Memuat…","composer.submit.missingCloudConfig":"Anda harus memilih environment cloud","composer.submit.missingCloudTurn":"Tidak dapat menindaklanjuti tugas ini","composer.submit.noWorkspace":"Tambahkan proyek untuk menggunakan Codex","composer.submit.waitForImageUploads":"Mengungah gambar…","composer.submitButtonTooltip.send":"Kirim","composer.submitButtonTooltip.stop":"Stop","composer.worktreeEnvironment.create":"Buat lingkungan lokal","composer.worktreeEnvironment.default":"Lingkungan default","composer.worktreeEnvironment.error":"Kesalahan saat memuat lingkungan","composer.worktreeEnvironment.loading":"Memuat lingkungan...","composer.worktreeEnvironment.title":"Lingkungan lokal","composer.worktreeEnvironment.tooltip":"Pilih lingkungan lokal","composer.worktreeSetupFailed":"Penyiapan worktree gagal. Periksa .codex/environments untuk skrip penyiapan.","compoundButton.secondaryAction":"Tindakan sekunder","copyButton.copied":"Disalin","copyButton.copiedAriaLabel":"Disalin","copyButton.copy":"Salin","copyButton.copyAriaLabel":"Salin","copyButton.copyCode":"Salin kode","diff.actionButton.revertFile":"Kembalikan file","diff.actionButton.revertHunk":"Balikkan","diff.actionButton.revertSection":"Kembalikan semua","diff.actionButton.revertSectionLabel":"Kembalikan semua","diff.actionButton.stageFile":"Stage file","diff.actionButton.stageHunk":"Stage","diff.actionButton.stageSection":"Stage semua","diff.actionButton.stageSectionLabel":"Stage semua","diff.actionButton.unstageFile":"Urungkan stage file","diff.actionButton.unstageHunk":"Urungkan Stage","diff.actionButton.unstageSection":"Urungkan stage semua","diff.actionButton.unstageSectionLabel":"Urungkan stage semua","diff.fileHeader.toggle":"Alihkan diff file","electron.onboarding.login.apikey.cancel":"Batalkan","electron.onboarding.login.apikey.continue":"Lanjutkan","electron.onboarding.login.apikey.label":"Kunci API OpenAI","electron.onboarding.login.apikey.open":"Masukkan kunci API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Batalkan masuk","electron.onboarding.login.chatgpt.continue":"Lanjutkan dengan ChatGPT","electron.onboarding.login.devbox":"Hubungkan ke SSH jarak jauh","electron.onboarding.login.error":"Gagal masuk: {rawMessage}","electron.onboarding.login.snake.start":"Main Snake","electron.onboarding.login.sshConfig.cancel":"Batalkan","electron.onboarding.login.sshConfig.continue":"Lanjutkan","electron.onboarding.login.sshConfig.hostnameLabel":"Nama Hosting SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Cara terbaik untuk membangun dengan agen","electron.onboarding.login.title":"Selamat Datang di Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Lanjutkan","electron.onboarding.welcome.doubleLimits.description":"Untuk merayakan peluncuran aplikasi Codex, Anda mendapatkan batas penggunaan 2× hingga 2 April.","electron.onboarding.welcome.freego.description":"Codex disertakan dalam paket Anda secara gratis hingga 2 Maret – mari kita mulai membangun bersama.","electron.onboarding.welcome.new.title.anon":"Selamat Datang!","electron.onboarding.workspace.continue":"Lanjutkan","electron.onboarding.workspace.empty":"Tambahkan proyek untuk melanjutkan","electron.onboarding.workspace.listLabel":"Proyek yang tersedia","electron.onboarding.workspace.loading":"Memuat proyek...","electron.onboarding.workspace.openFolder":"Tambahkan proyek","electron.onboarding.workspace.selectAll":"Pilih semua","electron.onboarding.workspace.skip":"Lompati","electron.onboarding.workspace.skip.error":"Tidak dapat membuat proyek baru: {message}","electron.onboarding.workspace.skip.error.unknown":"Kesalahan tak dikenal","electron.onboarding.workspace.skipping":"Sedang membuat proyek baru…","electron.onboarding.workspace.subtitle":"Codex akan dapat mengedit file dan menjalankan perintah di folder terpilih.","electron.onboarding.workspace.title":"Pilih proyek","errorPage.list.checkSettings":"Coba perbarui pengaturan IDE Anda","errorPage.list.configToml":"Periksa config.toml Anda untuk pengaturan tidak valid","errorPage.list.downloadExtension":"Coba mengunduh versi berbeda dari ekstensi tersebut","errorPage.list.runInWsl":"Periksa pengaturan Anda untuk menonaktifkan berjalan di WSL jika Anda melihat masalah kompatibilitas","execApprovalRequest.menu.runAlways":"Ya, dan jangan tanya lagi di sesi ini","execApprovalRequest.menu.runAlwaysWithAmendment":"Ya, dan jangan tanya lagi untuk perintah yang dimulai dengan {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ya, dan jangan tanya lagi untuk perintah yang dimulai dengan ","execApprovalRequest.menu.runOnce":"Ya","execApprovalRequest.prompt":"Anda ingin menjalankan perintah ini?","execApprovalRequest.reject":"Tidak","execFooter.exitCode":"Kode keluar {code}","execFooter.exitCode.unknown":"tak dikenal","execFooter.success":"Sukses","feedback.dialog.category.badResult":"Hasil buruk","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Hasil bagus","feedback.dialog.category.other":"Lainnya","feedback.dialog.category.safetyCheck":"Pemeriksaan keamanan","feedback.dialog.descriptionPlaceholder":"Jelaskan masalahnya di sini","feedback.dialog.dismiss":"Tutup","feedback.dialog.includeLogsLabel":"Sertakan log sesi Codex saat ini","feedback.dialog.submit":"Kirim","feedback.dialog.submitError":"Kami tidak dapat menyerahkan masukan Anda. Harap coba dalam beberapa saat lagi.","feedback.dialog.title":"Masukan","feedback.dialog.uploadedMessage.existingIssue":"masalah terbuka yang sudah ada","feedback.dialog.uploadedMessage.openIssue":"buka GitHub Issue","feedback.dialog.uploadedMessage.withThread":"Masukan  berhasil diunggah. Jika masalah tetap terjadi, harap {openIssueLink} atau sebut id utas ini pada {existingIssueLink}.","feedback.dialog.uploadedTitle":"Masukan berhasil diunggah","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Hapus {filename}","header.back":"Kembali","header.recentChats":"Tugas","header.recentTasks.seeAll":"Lihat semua ({total})","home.header.getPlus":"Dapatkan Plus","home.hero.letsBuild":"Mari membangun","homePage.mainContent":"Konten utama","imageAttachment.defaultName":"gambar","imageAttachment.preview.close":"Tutup pratinjau gambar","imageAttachment.removeAriaLabel":"Hapus {filename}","implementPlanRequest.option.implement":"Ya, terapkan rencana ini","implementPlanRequest.prompt":"Terapkan rencana ini?","inbox.archived.deleteError":"Tidak dapat menghapus run yang diarsipkan","inbox.archived.deleteRun":"Hapus run yang diarsipkan","inbox.archived.deleteSuccess":"Utas yang diarsipkan berhasil dihapus. Lihat di <settingsLink>Utas yang diarsipkan</settingsLink>.","inbox.archived.inlineLabel.auto":"Utas ini telah diarsipkan secara otomatis. <learnMoreLink>Pelajari selengkapnya</learnMoreLink>","inbox.archived.inlineLabel.manual":"Utas ini diarsipkan.","inbox.archived.noMessageFound":"Tidak ditemukan pesan","inbox.automations.createError":"Tidak dapat membuat automasi","inbox.automations.deleteConfirm.cancel":"Batalkan","inbox.automations.deleteConfirm.confirm":"Hapus otomatisasi","inbox.automations.deleteConfirm.description":"Ini akan menghapus otomatisasi secara permanen dan menghentikan pelaksanaan di masa mendatang.","inbox.automations.deleteConfirm.title":"Hapus {name}?","inbox.automations.deleteError":"Tidak dapat menghapus otomatisasi","inbox.automations.editTooltip":"Edit automasi","inbox.automations.inProgress":"Sedang diproses","inbox.automations.new":"Baru","inbox.automations.newToolbar":"Automasi baru","inbox.automations.pauseTooltip":"Hentikan sementara otomatisasi","inbox.automations.resumeTooltip":"Lanjutkan otomatisasi","inbox.automations.startingNow":"Memulai sekarang","inbox.automations.startsIn":"Dimulai dalam {startTime}","inbox.automations.status.active":"Aktif","inbox.automations.status.paused":"Dijeda","inbox.automations.status.runs":"{count} dijalankan","inbox.automations.status.started":"Dimulai {date}","inbox.automations.updateError":"Tidak dapat memperbarui otomatisasi","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Semua","inbox.filter.ariaLabel":"Filter item kotak masuk","inbox.filter.unread":"Belum dibaca","inbox.list.archived":"Diarsipkan","inbox.list.inProgress":"Sedang diproses","inbox.list.recent":"Selesai","inbox.list.upNext":"Terjadwal","inbox.mode.automations":"Automasi","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Deskripsi tidak disediakan","inbox.openThread":"Buka utas","inbox.rightPanel.emptySubtitle":"Lakukan automasi pekerjaan dengan mengatur tugas terjadwal","inbox.rightPanel.emptySubtitle.learnMore":"Lakukan automasi pekerjaan dengan mengatur utas terjadwal <link>Pelajari selengkapnya</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# otomasi aktif}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Tidak ada otomatisasi belum dibaca","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# automasi belum dibaca}}","inbox.rightPanel.emptyTitle":"Tidak ada item yang terpilih","inbox.rightPanel.noThread":"Tidak ada utas untuk item ini","inbox.rightPanel.quickStart.header":"Mulai dengan templat","inbox.untitled":"Item kotak masuk tidak berjudul","loadingPage.documentationLink":"dokumentasi","loadingPage.errorDescription":"Codex mengalami crash dengan kesalahan berikut:","loadingPage.errorDescription.documentation":"Klik muat ulang untuk memulai ulang ekstensi Codex, atau kunjungi {documentationLink} kami untuk bantuan tambahan.","loadingPage.errorSignal":"Beberapa hal untuk dicoba:","loadingPage.errorTitle":"Terjadi kesalahan","loadingPage.openConfigToml":"Buka Config.toml","loadingPage.reload":"Muat ulang","localConversation.contextCompacted":"Konteks dipadatkan secara otomatis","localConversation.contextCompacting":"Sedang memadatkan konteks secara otomatis","localConversation.finalAssistantMessageDivider":"Pesan akhir","localConversation.forkedFromConversation":"Di-fork dari {threadTitle}","localConversation.merge.autoResolve.failed":"Permintaan penyelesaian otomatis gagal: {error}","localConversation.merge.autoResolve.sent":"Permintaan penyelesaian otomatis terkirim","localConversation.merge.autoResolveMerge.missingConversation":"Tidak dapat melakukan penyelesaian otomatis tanpa percakapan aktif.","localConversation.merge.autoResolveMerge.request":"Penyelesaian otomatis menggabungkan konflik","localConversation.modelChanged":"Model diubah dari {fromModel} ke {toModel}.","localConversation.modelChanged.warning.line1":"Mengganti model di tengah percakapan akan menurunkan performa.","localConversation.modelChanged.warning.line2":"Konteks mungkin dipadatkan secara otomatis.","localConversation.modelRerouted":"Permintaan Anda dialihkan ke {toModel}.","localConversation.modelRerouted.warning.line1":"Perhatian, permintaan Anda dialihkan ulang untuk mengurangi risiko penyalahgunaan siber.","localConversation.modelRerouted.warning.line2":"Apakah menurut Anda ini sebuah kesalahan? Ajukan peninjauan di<link>chatgpt.com/cyber</link>atau laporkan melalui /feedback","localConversation.moveThread.createBranch.label":"Buat cabang","localConversation.moveToLocal.disabled.branchCheckedOut":"Cabang ini sudah di-checkout di worktree lain","localConversation.moveToLocal.disabled.loading":"Memuat…","localConversation.moveToLocal.disabled.missingSourceHead":"Tidak dapat menyelesaikan commit HEAD worktree","localConversation.moveToLocal.disabled.noWorkspace":"Tidak ditemukan workspace lokal untuk worktree ini","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"Tidak dapat melakukan pemindahan sekarang. Periksa status workspace lokal lalu coba lagi.","localConversation.moveToLocal.error.rollbackIssues":"Masalah rollback: {issues}","localConversation.moveToLocal.label":"Pindahkan ke lokal","localConversation.moveToLocal.loading.subtitle":"Memindahkan perubahan worktree Anda ke lokal…","localConversation.moveToLocal.loading.title":"Memindahkan ke lokal","localConversation.moveToLocal.modal.continue":"Lanjutkan","localConversation.moveToLocal.modal.destinationLabel":"Pindahkan ke","localConversation.moveToLocal.modal.retry":"Coba lagi","localConversation.moveToLocal.modal.subtitle":"Cabang worktree ini dan perubahan yang belum di-commit akan dipindahkan kembali ke checkout lokal Anda.","localConversation.moveToLocal.modal.title":"Pindahkan ke lokal","localConversation.moveToWorktree.error.branchRequired":"Nama cabang worktree wajib diisi","localConversation.moveToWorktree.error.createWorktree":"Gagal membuat worktree: {message}","localConversation.moveToWorktree.error.move":"Gagal memindahkan ke worktree: {message}","localConversation.moveToWorktree.error.prepareBranch":"Gagal menyiapkan cabang worktree “{branch}”: {message}","localConversation.moveToWorktree.error.rollbackIssues":"Masalah rollback: {issues}","localConversation.moveToWorktree.error.unknown":"Gagal memindahkan ke worktree. Silakan coba lagi.","localConversation.moveToWorktree.label":"Pindahkan ke worktree","localConversation.moveToWorktree.loading.subtitle":"Menyiapkan worktree Anda dan memindahkan perubahan lokal…","localConversation.moveToWorktree.loading.title":"Memindahkan ke worktree","localConversation.moveToWorktree.modal.back":"Kembali","localConversation.moveToWorktree.modal.branchAlreadyExists":"Cabang sudah ada","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Cabang sudah ada.","localConversation.moveToWorktree.modal.branchesError":"Tidak dapat memuat cabang","localConversation.moveToWorktree.modal.branchesLoading":"Memuat cabang...","localConversation.moveToWorktree.modal.branchesRetry":"Coba lagi","localConversation.moveToWorktree.modal.continue":"Lanjutkan","localConversation.moveToWorktree.modal.defaultBranchError":"Cabang worktree harus berbeda dari cabang default.","localConversation.moveToWorktree.modal.localBranchLabel":"Cabang lokal","localConversation.moveToWorktree.modal.localBranchPlaceholder":"Pilih cabang checkout lokal","localConversation.moveToWorktree.modal.noTargetBranch":"Tidak ada cabang lokal lain yang tersedia","localConversation.moveToWorktree.modal.retry":"Coba lagi","localConversation.moveToWorktree.modal.subtitle":"Cabang ini dan semua perubahan yang belum di-commit akan dipindahkan ke worktree. Anda harus melakukan checkout ke cabang lain secara lokal sebagai gantinya.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex akan membuat worktree baru untuk utas ini.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"Pilih nama cabang worktree. Codex akan menggunakannya sebagai pengganti cabang default.","localConversation.moveToWorktree.modal.subtitle.loading":"Mencari worktree yang sudah ada…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"Cabang ini akan dipindahkan ke worktree. Cabang lokal Anda saat ini akan tetap di-checkout.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex akan menggunakan kembali worktree yang sudah ada untuk utas ini.","localConversation.moveToWorktree.modal.title":"Pindahkan ke worktree","localConversation.moveToWorktree.modal.trailingSlashError":"Nama cabang tidak dapat diakhiri dengan “/”.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Nama cabang worktree","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Cabang worktree","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"cabang-baru","localConversation.personalityChanged":"Beralih ke kepribadian {personality}","localConversation.planSummary.collapse":"Ciutkan ringkasan paket","localConversation.planSummary.collapseTooltip":"Ciutkan","localConversation.planSummary.download":"Unduh paket","localConversation.planSummary.expand":"Perluas ringkasan paket","localConversation.planSummary.expandTooltip":"Perluas","localConversation.planSummary.openInNewWindow":"Buka","localConversation.planSummary.openInNewWindow.tooltip":"Buka di jendela baru","localConversation.planSummary.title":"Paket","localConversation.planSummary.titleWriting":"Rencana penulisan","localConversation.planSummary.viewPlan":"Perluas paket","localConversation.previousMessagesSummary":"{count, plural, other {# pesan sebelumnya}}","localConversation.remoteTaskCreated":"Membuat {taskLink} dalam Codex Cloud","localConversation.remoteTaskCreated.task":"tugas","localConversation.scrollToBottomButton":"Gulir ke bawah","localConversation.sync.buttonLabel":"Serahkan ke lokal","localConversation.sync.buttonLabel.tooltip":"Serahkan perubahan antara worktree ini dan checkout lokal Anda.","localConversation.sync.modal.loading.title":"Sedang menyerahkan perubahan…","localConversation.sync.modal.noChanges":"Tidak ada perubahan","localConversation.syncSetup.branchAriaLabel":"Nama cabang","localConversation.syncSetup.branchName":"Nama cabang","localConversation.syncSetup.branchPlaceholder.existing":"Pilih cabang yang ada","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Memuat cabang...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Sudah checkout","localConversation.syncSetup.checkoutClean":"Saat ini pada {branchName}","localConversation.syncSetup.checkoutDirty":"Saat ini di {branchName} dengan perubahan yang belum di-commit","localConversation.syncSetup.checkoutError":"Gagal melakukan checkout cabang: {message}","localConversation.syncSetup.checkoutLabel":"Checkout secara lokal sekarang","localConversation.syncSetup.checkoutOnLocal":"Serahkan ke lokal","localConversation.syncSetup.checkoutPending":"Memeriksa status lokal…","localConversation.syncSetup.checkoutUnavailable":"Workspace lokal tidak tersedia","localConversation.syncSetup.checkoutUnknown":"Cabang lokal tidak tersedia","localConversation.syncSetup.continue":"Lanjutkan","localConversation.syncSetup.createBranchError":"Gagal menetapkan cabang handoff: {message}","localConversation.syncSetup.error":"Ada yang tidak beres: {message}","localConversation.syncSetup.error.workingTreeMissing":"Tidak dapat membuat snapshot worktree. Silakan ulangi proses penyerahan.","localConversation.syncSetup.mode.ariaLabel":"Pilih mode cabang","localConversation.syncSetup.mode.existing":"Cabang yang ada","localConversation.syncSetup.mode.new":"Cabang baru","localConversation.syncSetup.noBranches":"Tidak ada cabang yang ditemukan","localConversation.syncSetup.overwriteError":"Cabang berhasil dibuat, tetapi belum sepenuhnya diserahkan. Lakukan penyerahan secara manual sebelum checkout secara lokal.","localConversation.syncSetup.setPrefix":"Tetapkan awalan","localConversation.syncSetup.subtitle":"Uji dan edit perubahan worktree secara lokal. <a>Pelajari selengkapnya</a>","localConversation.syncSetup.success.checkedOut":"Cabang berhasil dibuat dan sudah di-checkout secara lokal","localConversation.syncSetup.success.notCheckedOut":"Cabang berhasil dibuat","localConversation.syncSetup.title":"Serahkan ke cabang lokal","localConversation.syncWorktreeError.branchAriaLabel":"Nama cabang","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Pilih cabang tujuan, lalu coba muat ulang perubahan.","localConversation.syncWorktreeError.branchSetup.title":"Perbarui cabang","localConversation.syncWorktreeError.branchUpdate.cta":"Perbarui dan coba lagi","localConversation.syncWorktreeError.branchUpdate.error":"Gagal memperbarui cabang: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Ada yang tidak beres: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Cabang tidak diperiksa di worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Terapkan","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Anda harus checkout cabang secara lokal untuk menerapkan perubahan yang belum di-commit","localConversation.syncWorktreeV2.branches.empty":"Tidak ada cabang yang ditemukan","localConversation.syncWorktreeV2.branches.loading":"Memuat cabang...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Ganti branch tujuan handoff","localConversation.syncWorktreeV2.changeBranch.error":"Gagal mengganti branch handoff: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Gagal menerapkan","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Gagal menimpa worktree","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Gagal menimpa lokal","localConversation.syncWorktreeV2.commandError.back":"Kembali","localConversation.syncWorktreeV2.commandError.body":"Perintah Git gagal saat melakukan handoff. Tinjau keluaran lalu coba lagi.","localConversation.syncWorktreeV2.commandError.retry":"Coba lagi","localConversation.syncWorktreeV2.description":"Serahkan perubahan antara lokal dan worktree ini <a>Pelajari selengkapnya</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Pilih arah handoff","localConversation.syncWorktreeV2.error.generic":"Terjadi kesalahan saat melakukan handoff. Coba lagi.","localConversation.syncWorktreeV2.localBranchLabel":"Lokal","localConversation.syncWorktreeV2.noChanges":"Menghitung perubahan","localConversation.syncWorktreeV2.noChanges.summary":"Tidak ada perubahan","localConversation.syncWorktreeV2.overwrite.local":"Timpa lokal","localConversation.syncWorktreeV2.overwrite.worktree":"Timpa worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Tidak dapat menerapkan perubahan","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Tidak dapat menimpa perubahan lokal","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Tidak dapat menimpa perubahan worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Diterapkan","localConversation.syncWorktreeV2.partial.back":"Kembali","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Selesaikan konflik lalu coba lagi","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflik","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# file}}","localConversation.syncWorktreeV2.partial.retry":"Coba lagi","localConversation.syncWorktreeV2.partial.skippedLabel":"Dilewati","localConversation.syncWorktreeV2.stateFailed.generic":"Terjadi kesalahan saat mengambil perubahan worktree untuk diserahkan. Silakan coba lagi.","localConversation.syncWorktreeV2.stateFailed.title":"Gagal memuat perubahan worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Gagal memuat perubahan worktree.","localConversation.syncWorktreeV2.statusError.retry":"Coba lagi","localConversation.syncWorktreeV2.statusError.title":"Tidak dapat memuat perubahan cabang lokal","localConversation.syncWorktreeV2.statusError.unknown":"Status cabang saat ini tidak tersedia. Coba lagi.","localConversation.syncWorktreeV2.success.apply":"Berhasil menerapkan perubahan","localConversation.syncWorktreeV2.success.overwrite":"Handoff berhasil","localConversation.syncWorktreeV2.title":"Serahkan perubahan","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Meminta {count, plural, other {pertanyaan}}","localConversation.userInputRequest.noAnswer":"Tidak ada jawaban yang diberikan","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Ditanyakan","localConversation.userInputRequest.summary.count":"{count, plural, other {# pertanyaan}}","localConversation.workedFor":"Bekerja selama {time}","localConversation.worktreeBranchSetup.action.create":"Buat","localConversation.worktreeBranchSetup.branchAriaLabel":"Nama cabang","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Buat cabang baru","localConversation.worktreeBranchSetup.checkoutDisabled":"Cabang ini sudah di-checkout di {location}","localConversation.worktreeBranchSetup.checkoutError":"Gagal melakukan checkout cabang: {message}","localConversation.worktreeBranchSetup.createBranchError":"Gagal menetapkan cabang: {message}","localConversation.worktreeBranchSetup.error":"Ada yang tidak beres: {message}","localConversation.worktreeBranchSetup.subtitle":"Buat cabang untuk melakukan commit perubahan, push, dan membuat PR dari worktree ini. <a>Pelajari selengkapnya</a>","localConversation.worktreeBranchSetup.title":"Bekerja di sini","localConversationPage.addWorktreeToSidebar.tooltip":"Simpan sebagai proyek sehingga Anda dapat memulai utas baru dari worktree ini","localConversationPage.addWorktreeToSidebarError":"Gagal menambahkan proyek","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit dan buat PR gagal","localConversationPage.commitAndCreatePrModal.successTitle":"Berkomitmen dan membuat PR","localConversationPage.commitAndPushModal.errorTitle":"Commit dan push gagal","localConversationPage.commitAndPushModal.successTitle":"Berkomitmen dan mendorong perubahan","localConversationPage.commitCreatePr.open":"Buka pull request","localConversationPage.commitCreatePr.successTitle":"Membuat PR dengan perubahan terbaru Anda","localConversationPage.createBranchButtonLabel":"Cabang di sini","localConversationPage.createPrModal.baseBranch":"Dasar","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Buat PR","localConversationPage.createPrModal.createDescription":"Buka pull request untuk perubahan terbaru Anda.","localConversationPage.createPrModal.errorTitle":"Pull request gagal","localConversationPage.createPrModal.headBranch":"Kepala","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Buka PR","localConversationPage.createPrModal.successTitle":"Pull request dibuat","localConversationPage.createPrModal.title":"Buat pull request","localConversationPage.createPrModal.viewDescription":"Pull request sudah ada untuk cabang ini.","localConversationPage.createPrModal.viewTitle":"Pull request sudah siap","localConversationPage.createPullRequestAuthGh":"Lakukan autentikasi GitHub CLI: jalankan `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informasi cabang tidak tersedia","localConversationPage.createPullRequestButtonLabel":"Buat PR","localConversationPage.createPullRequestButtonLabel.loading":"Sedang membuat PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Informasi cabang default tidak tersedia","localConversationPage.createPullRequestError":"Gagal membuat pull request","localConversationPage.createPullRequestExistingPullRequest":"Pull request sudah ada untuk cabang ini","localConversationPage.createPullRequestGhStatusMissing":"Memuat status GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Instal GitHub CLI (gh) untuk membuat PR","localConversationPage.createPullRequestNoRepo":"Tidak ditemukan repositori git","localConversationPage.createPullRequestPushStatusMissing":"Memuat status push...","localConversationPage.createPullRequestSetUpstream":"Push cabang ini sebelum membuat PR","localConversationPage.createPullRequestSuccessToast":"Pull request dibuat","localConversationPage.createPullRequestSwitchBranch":"Checkout cabang fitur sebelum membuat PR","localConversationPage.error.render":"Kesalahan saat merender percakapan lokal","localConversationPage.error.toast":"Percakapan tidak ditemukan","localConversationPage.forcePushError":"Gagal melakukan push secara paksa","localConversationPage.generatePullRequestMessageError":"Gagal membuat judul dan isi pull request","localConversationPage.generatePullRequestMessageFailed":"Gagal membuat judul dan isi pull request.","localConversationPage.gitActionResult.branch":"Cabang","localConversationPage.gitActionResult.cancel":"Batalkan","localConversationPage.gitActionResult.close":"Tutup","localConversationPage.gitActionResult.tryAgain":"Coba lagi","localConversationPage.gitActions":"Tindakan Git","localConversationPage.newChat":"Obrolan baru","localConversationPage.openInTarget":"Buka di","localConversationPage.openPrimaryTarget":"Buka","localConversationPage.planItemsCompleted":"{completedItems} keluar dari {totalItems, plural, other {# tugas selesai}}","localConversationPage.pushAuthError":"Push gagal: autentikasi diperlukan","localConversationPage.pushBranchMissing":"Informasi cabang tidak tersedia","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Mendorong...","localConversationPage.pushError":"Gagal mendorong perubahan","localConversationPage.pushModal.branchLabel":"Cabang","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Batalkan","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Push commit terbaru Anda ke repositori jarak jauh.","localConversationPage.pushModal.errorTitle":"Push gagal","localConversationPage.pushModal.forcePush":"Push secara paksa","localConversationPage.pushModal.successTitle":"Push selesai","localConversationPage.pushModal.title":"Push perubahan","localConversationPage.pushModal.tryAgain":"Coba lagi","localConversationPage.pushNoUpstream":"Tetapkan upstream sebelum mendorong cabang ini","localConversationPage.pushNoUpstreamError":"Push gagal: tidak ada upstream yang dikonfigurasi","localConversationPage.pushNothingToPush":"Tidak ada commit baru untuk didorong","localConversationPage.pushRemoteChangedError":"Push gagal: jarak jauh memiliki commit baru","localConversationPage.pushRemoteRejectedError":"Push ditolak berdasarkan jarak jauh","localConversationPage.pushStatusMissing":"Memuat status push...","localConversationPage.pushSuccessToast":"Perubahan yang didorong","localConversationPage.viewPullRequestButtonLabel":"Lihat PR","localConversationPage.viewPullRequestButtonLabel.loading":"Memuat pull request…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# file}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# daftar}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# pencarian}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Menjelajahi","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Dijelajahi","localConversationTurn.exploration.accordion.header.complete.withCounts":"Dijelajahi {counts}","localConversationTurnStory.showContent":"Tampilkan konten","localConversationTurnStory.streamContent":"Streaming konten","localConversationTurnStory.toggleReasoning":"Tampilkan penalaran","localTaskRow.archiveError":"Gagal mengarsipkan percakapan","localTaskRow.resumeError":"Gagal melanjutkan tugas","mermaidDiagram.ariaLabel":"Diagram Mermaid","mermaidDiagram.copySource":"Salin mermaid","mermaidDiagram.originalCode":"Kode sumber Mermaid","notifications.permissions.description":"Tampilkan peringatan ketika izin notifikasi diperlukan","notifications.permissions.label":"Aktifkan notifikasi izin","notifications.turnMode.always":"Selalu","notifications.turnMode.description":"Atur kapan Codex memberi tahu Anda bahwa tugas telah selesai","notifications.turnMode.label":"Aktifkan notifikasi penyelesaian","notifications.turnMode.off":"Jangan pernah","notifications.turnMode.unfocused":"Hanya saat tidak fokus","patchApprovalRequest.approve":"Setujui","patchApprovalRequest.menu.allowAlways":"Ya dan jangan tanya lagi di sesi ini","patchApprovalRequest.menu.allowForSession":"Ya, dan jangan tanya lagi di sesi ini","patchApprovalRequest.menu.allowOnce":"Ya","patchApprovalRequest.prompt":"Anda ingin melakukan perubahan-perubahan ini?","patchApprovalRequest.reject":"Tidak","patchApprovalRequest.waitingForApproval":"Menunggu persetujuan untuk mengedit file","pendingRequest.approvalExec.collapse":"Ciutkan","pendingRequest.approvalExec.expand":"Perluas","pendingRequestStory.toastAnswer":"Jawaban: {answer}","pendingRequestStory.toastApprovalTitle":"Respons persetujuan","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Tindak lanjut sudah dikirimkan","pendingRequestStory.toastNoAnswers":"Tidak ada jawaban yang diberikan","pendingRequestStory.toastQuestion":"Pertanyaan: {question}","pendingRequestStory.toastUnknownDecision":"Tak dikenal","pendingRequestStory.toastUserInputTitle":"Jawaban yang diserahkan","quickAction.request.codeReview.branches.new":"Harap tinjau perubahan pada {from} dibandingkan dengan {to}","quickAction.request.codeReview.uncommitted.new":"Harap tinjau perubahan saya yang belum di-commit","reasoningItem.thinking":"Berpikir","reasoningItem.thought":"Selesai berpikir","reasoningItem.thoughtWithElapsed":"Berpikir selama {elapsed}","recentConversations.title":"Percakapan Terkini","recentTasks.worktreeInitFailedTitle":"Worktree init gagal","recentTasks.worktreeSettingUpTitle":"Menyiapkan worktree","requestInputPanel.continue":"Lanjutkan","requestInputPanel.dismiss":"Tutup","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Ketik di sini","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Tidak dan beri tahu Codex untuk mencoba pendekatan lain","requestInputPanel.selectedBadge":"Terpilih","requestInputPanel.skip":"Lompati","requestInputPanel.submit":"Kirim","review.commit.ariaLabel.includeUnstaged":"Sertakan yang belum di-stage","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commit...","review.commit.disabled.loadingDiff":"Memuat diff…","review.commit.disabled.missingContext":"Tambahkan beberapa konteks untuk membuat pesan commit","review.commit.disabled.noChanges":"Tidak ada perubahan pada commit","review.commit.disabled.noSelection":"Pilih perubahan pada commit","review.commit.disabled.unavailable":"Saat ini, commit tidak tersedia","review.commit.error":"Gagal melakukan commit perubahan","review.commit.form.changesToBeCommitted":"Perubahan","review.commit.form.commitTo":"Cabang","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Lanjutkan","review.commit.form.title":"Commit perubahan Anda","review.commit.generate.emptyResponse":"Tidak dapat membuat pesan commit.","review.commit.generate.failed":"Gagal membuat pesan commit: {error}","review.commit.generate.missingPrompt":"Tambahkan beberapa konteks untuk membuat pesan commit.","review.commit.includeUnstaged":"Sertakan yang belum di-stage","review.commit.loading.description":"Tunggu sebentar, ini mungkin perlu beberapa saat...","review.commit.loading.step.commit.done":"Perubahan yang sudah di-commit","review.commit.loading.step.commit.pending":"Melakukan perubahan","review.commit.loading.step.createPr.done":"Pull request dibuat","review.commit.loading.step.createPr.pending":"Membuat pull request","review.commit.loading.step.push.done":"Push ke cabang {branch}","review.commit.loading.step.push.pending":"Mendorong ke cabang {branch}","review.commit.loading.title.commit":"Melakukan perubahan","review.commit.loading.title.createPr":"Membuat PR","review.commit.loading.title.push":"Mendorong perubahan","review.commit.messageLabel":"Pesan commit","review.commit.messagePlaceholder":"Biarkan kosong untuk membuat pesan commit otomatis","review.commit.nextSteps":"Langkah selanjutnya","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit dan buat PR","review.commit.nextSteps.commitAndPush":"Commit dan push","review.commit.nextSteps.prRequiresGh":"Memerlukan GitHub CLI: {command}","review.commit.rows.changes":"Perubahan","review.commit.rows.commitCount":"{count, plural, other {# commit}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# commit}} dan {stats}","review.commit.rows.fileCount":"{count, plural, other {# file}}","review.commit.state.error.body":"Ada kesalahan saat melakukan commit. Periksa status git Anda dan coba lagi.","review.commit.state.error.title":"Commit gagal","review.commit.state.success.title":"Perubahan telah di-commit","review.commit.untracked.loadingStats":"Memuat statistik diff yang tidak terlacak…","reviewFindingAttachments.count":"{count, plural, other {# temuan}}","settings.agent.configuration.configToml":"config.toml Anda","settings.agent.configuration.configToml.description":"Edit config Anda untuk menyesuaikan perilaku agen","settings.agent.configuration.configToml.docs":"Dokumen","settings.agent.configuration.configToml.restartNote":"Mulai ulang Codex setelah mengedit untuk menerapkan perubahan","settings.agent.configuration.subtitle":"Pengaturan ini berlaku di mana pun Codex digunakan","settings.automations.banner.danger":"Otomatisasi berjalan dengan pengaturan sandbox default Anda, yang saat ini disetel ke Akses Penuh. Menjalankan otomatisasi latar belakang dengan Akses Penuh memiliki risiko lebih tinggi, karena Codex dapat memodifikasi file, menjalankan perintah, dan mengakses jaringan tanpa meminta izin. Pertimbangkan untuk memperbarui pengaturan sandbox ke tulis workspace, dan gunakan <rulesDocsLink>aturan</rulesDocsLink> untuk secara selektif menentukan perintah mana yang dapat dijalankan agen tersebut dengan akses penuh.","settings.automations.banner.defaultHowTo.default":"Otomatisasi berjalan dengan pengaturan sandbox default Anda. Pemanggilan alat akan gagal jika memerlukan perubahan file di luar workspace, akses jaringan, atau bekerja dengan aplikasi di komputer Anda. Anda dapat mengizinkan perintah tertentu dijalankan di luar sandbox secara selektif menggunakan <rulesDocsLink>aturan</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Otomatisasi berjalan dengan pengaturan sandbox default Anda, yang disetel ke hanya-baca. Pemanggilan alat akan gagal jika memerlukan perubahan file, akses jaringan, atau bekerja dengan aplikasi di komputer Anda. Pertimbangkan untuk memperbarui pengaturan sandbox ke tulis workspace.","settings.automations.cancel":"Batalkan","settings.automations.create":"Buat","settings.automations.cwdEmpty":"Tidak ada folder proyek yang tersedia","settings.automations.cwdLabel":"Proyek","settings.automations.cwdPlaceholder":"Pilih folder","settings.automations.cwdSubtitle":"Jika Anda ingin otomatisasi berjalan di cabang tertentu, Anda bisa menentukannya di prompt Anda.","settings.automations.delete":"Hapus","settings.automations.dialog.editTitle":"Edit automasi","settings.automations.dialog.newTitle":"Automasi baru","settings.automations.dialog.subtitle":"Otomatiskan tugas berulang di latar belakang. Codex menambahkan temuan ke inbox, atau otomatis mengarsipkan tugas jika tidak ada yang perlu dilaporkan. <learnMoreLink>Pelajari selengkapnya</learnMoreLink>","settings.automations.dialog.title":"Buat automasi","settings.automations.executionCopy.git":"Proyek Git berjalan di worktree latar belakang khusus.","settings.automations.executionCopy.local":"Automasi berjalan langsung di direktori proyek yang dipilih.","settings.automations.executionCopy.nonGit":"Proyek tanpa kontrol versi berjalan secara lokal karena worktree memerlukan Git.","settings.automations.executionEnvironment.ariaLabel":"Environment eksekusi","settings.automations.executionEnvironment.label":"Environment eksekusi","settings.automations.executionEnvironment.local":"Lokal","settings.automations.executionEnvironment.local.help":"Berjalan langsung di direktori proyek yang dipilih tanpa membuat worktree.","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.executionEnvironment.worktree.help":"Berjalan di worktree Git khusus yang dibuat dari proyek yang dipilih, sambil menjaga checkout Anda saat ini tetap tidak berubah.","settings.automations.loading":"Memuat…","settings.automations.nameLabel":"Nama","settings.automations.namePlaceholder":"Periksa masalah sentry","settings.automations.pause":"Jeda","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"cari crash dalam $Sentry","settings.automations.resume":"Lanjutkan","settings.automations.rruleSummaryFallback":"Jadwal kustom","settings.automations.runNow":"Tes","settings.automations.save":"Simpan","settings.automations.scheduleBadge.dayCount":"{count}h","settings.automations.scheduleBadge.interval":"{count}j","settings.automations.scheduleBadge.weekdays":"Hari kerja","settings.automations.scheduleBadge.weekends":"Akhir pekan","settings.automations.scheduleHeader":"Jadwal","settings.automations.scheduleHours":"jam","settings.automations.scheduleLabel":"Jalankan setiap","settings.automations.scheduleMode.daily":"Setiap hari","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Tipe jadwal","settings.automations.scheduleSummary.daily":"Setiap hari pukul {time}","settings.automations.scheduleSummary.interval":"Setiap {count}j","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# hari}}","settings.automations.scheduleSummary.intervalDays":"{interval} pada {days}","settings.automations.scheduleSummary.intervalHourly":"Setiap jam","settings.automations.scheduleSummary.singleDay":"{day} pukul {time}","settings.automations.scheduleSummary.weekdays":"Hari kerja pukul {time}","settings.automations.scheduleSummary.weekdaysLabel":"hari kerja","settings.automations.scheduleSummary.weekends":"Akhir pekan pukul {time}","settings.automations.scheduleSummary.weekendsLabel":"akhir pekan","settings.automations.scheduleSummary.weekly":"{days} pukul {time}","settings.automations.scheduleWeekdays":"Nyala","settings.automations.weekdayState.excluded":"Dikecualikan","settings.automations.weekdayState.included":"Disertakan","settings.conversationDetail.steps":"Langkah-langkah","settings.conversationDetail.steps.description":"Sembunyikan perintah dan keluaran","settings.conversationDetail.stepsWithCommands":"Langkah-langkah dengan perintah kode","settings.conversationDetail.stepsWithCommands.description":"Tampilkan perintah, ciutkan keluaran","settings.conversationDetail.stepsWithOutput":"Langkah-langkah dengan keluaran kode","settings.conversationDetail.stepsWithOutput.description":"Tampilkan perintah dan perluas keluaran","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Tidak ada obrolan yang diarsipkan.","settings.dataControls.archivedChats.error":"Tidak dapat memuat obrolan yang diarsipkan.","settings.dataControls.archivedChats.loading":"Memuat obrolan yang diarsipkan...","settings.dataControls.archivedChats.unarchive":"Buka arsip","settings.dataControls.archivedChats.unarchiveError":"Gagal membuka arsip obrolan","settings.dataControls.archivedChats.unarchiveSuccess":"Arsip utas telah dibuka. <viewNowLink>Lihat sekarang</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Arsip utas telah dibuka.","settings.dataControls.archivedChats.untitled":"Obrolan tidak berjudul","settings.dataControls.archivedChats.viewNow":"Lihat sekarang","settings.editRow.headerPlaceholder":"Kunci","settings.editRow.removeEntry":"Hapus entri","settings.editRow.valuePlaceholder":"Nilai","settings.general.appearance":"Penampilan","settings.general.appearance.codeFont":"Fon kode","settings.general.appearance.codeFont.description":"Sesuaikan fon dan ukuran yang digunakan untuk kode di seluruh obrolan dan diff","settings.general.appearance.codeFontFamily":"Kelompok fon kode","settings.general.appearance.codeFontSize":"Ukuran fon kode","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Buat jendela menggunakan latar belakang solid bukan tembus pandang sistem","settings.general.appearance.opaqueWindows.label":"Gunakan latar belakang jendela yang buram","settings.general.appearance.sansFontFamily":"Kelompok fon Sans","settings.general.appearance.sansFontFamily.description":"Sesuaikan fon yang digunakan untuk UI Codex","settings.general.appearance.sansFontSize":"Ukuran fon Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Tampilkan efek perayaan jendela penuh saat GPT-5.3-Codex-Spark berjalan pertama kali","settings.general.appearance.sparkCelebrationEffects.label":"Efek perayaan Spark","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Gelap","settings.general.appearance.theme.description":"Gunakan warna terang, gelap, atau sesuaikan dengan sistem Anda","settings.general.appearance.theme.light":"Terang","settings.general.appearance.theme.system":"Sistem","settings.general.appearance.usePointerCursors.description":"Ubah kursor menjadi penunjuk saat diarahkan ke elemen interaktif","settings.general.appearance.usePointerCursors.label":"Gunakan kursor penunjuk","settings.general.enterBehavior.description":"Ketika diaktifkan, prompt multibaris memerlukan {modifierSymbol} + enter untuk mengirim.","settings.general.enterBehavior.label":"Memerlukan {modifierSymbol} + enter untuk mengirim prompt panjang","settings.general.experimentalFeatures":"Fitur eksperimental (Beta)","settings.general.experimentalFeatures.empty":"Tidak ada fitur eksperimental beta yang tersedia.","settings.general.experimentalFeatures.loading":"Memuat fitur eksperimental...","settings.general.experimentalFeatures.restartNote":"Mulai ulang Codex untuk menerapkan perubahan fitur","settings.general.experimentalFeatures.toggle":"Alihkan {featureName}","settings.general.followUpQueueMode.description":"Antrekan tindak lanjut saat Codex berjalan atau arahkan penjalanan saat ini. Tekan {invertFollowUpShortcutLabel} untuk melakukan kebalikannya untuk satu pesan.","settings.general.followUpQueueMode.interrupt":"Steer","settings.general.followUpQueueMode.label":"Perilaku lanjutan","settings.general.followUpQueueMode.queue":"Antrean","settings.general.notifications":"Notifikasi","settings.general.power.preventSleepWhileRunning.description":"Pastikan komputer Anda tetap aktif saat Codex menjalankan utas.","settings.general.power.preventSleepWhileRunning.label":"Mencegah kantuk saat berlari","settings.git.branchPrefix.ariaLabel":"Awalan cabang","settings.git.branchPrefix.description":"Awalan yang digunakan ketika membuat cabang baru di Codex","settings.git.branchPrefix.label":"Awalan cabang","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Gagal menyimpan awalan cabang","settings.git.branchPrefix.save.success":"Awalan cabang disimpan","settings.git.commitInstructions.ariaLabel":"Instruksi commit","settings.git.commitInstructions.description":"Ditambahkan ke prompt pembuatan pesan commit","settings.git.commitInstructions.label":"Instruksi commit","settings.git.commitInstructions.placeholder":"Tambahkan panduan pesan commit…","settings.git.commitInstructions.save":"Simpan","settings.git.commitInstructions.save.error":"Gagal menyimpan instruksi commit","settings.git.commitInstructions.save.success":"Instruksi commit disimpan","settings.git.forcePush.ariaLabel":"Selalu push secara paksa","settings.git.forcePush.description":"Gunakan  --force-with-lease ketika mendorong dari Codex","settings.git.forcePush.label":"Selalu push secara paksa","settings.git.forcePush.save.disabled":"Selalu push secara paksa dinonaktifkan","settings.git.forcePush.save.enabled":"Selalu push secara paksa diaktifkan","settings.git.forcePush.save.error":"Gagal menyimpan pengaturan push secara paksa","settings.git.prInstructions.ariaLabel":"Instruksi pull request","settings.git.prInstructions.description":"Ditambahkan ke isi pull request yang dibuat oleh Codex","settings.git.prInstructions.label":"Instruksi pull request","settings.git.prInstructions.placeholder":"Tambahkan panduan pull request…","settings.git.prInstructions.save":"Simpan","settings.git.prInstructions.save.error":"Gagal menyimpan instruksi pull request","settings.git.prInstructions.save.success":"Instruksi pull request disimpan","settings.ide.defaultOpenTarget.description":"Lokasi default untuk membuka file dan folder","settings.ide.defaultOpenTarget.label":"Tujuan pembukaan default","settings.ide.defaultOpenTarget.placeholder":"Tidak ada target yang ditemukan","settings.ide.language.auto":"Deteksi Otomatis","settings.ide.language.autoOption":"Deteksi Otomatis","settings.ide.language.description":"Bahasa untuk UI aplikasi","settings.ide.language.label":"Bahasa","settings.ide.language.search":"Telusuri bahasa","settings.layout.actionButton":"Mulai ulang ekstensi","settings.layout.actionTitle":"Pengaturan dengan tindakan","settings.layout.fullWidthTitle":"Pengaturan (Lebar penuh)","settings.layout.title":"Pengaturan","settings.localEnvironments.actions.add":"Tambah tindakan","settings.localEnvironments.actions.add.description":"Buat perintah baru untuk dijalankan dari toolbar.","settings.localEnvironments.actions.add.save":"Simpan","settings.localEnvironments.actions.empty":"Tambah tindakan untuk menjalankan perintah dari toolbar lokal.","settings.localEnvironments.actions.icon.debug":"Debug","settings.localEnvironments.actions.icon.run":"Jalankan","settings.localEnvironments.actions.icon.test":"Tes","settings.localEnvironments.actions.icon.tool":"Alat","settings.localEnvironments.actions.item.button.delete":"Hapus","settings.localEnvironments.actions.item.command":"Skrip tindakan","settings.localEnvironments.actions.item.name":"Nama","settings.localEnvironments.actions.item.platforms":"Platform","settings.localEnvironments.actions.item.platforms.help":"Hanya berjalan pada OS tertentu.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Pemilihan platform","settings.localEnvironments.actions.item.platforms.specific":"Sesuai platform","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Hapus","settings.localEnvironments.actions.title":"Tindakan","settings.localEnvironments.breadcrumb.back":"Kembali","settings.localEnvironments.breadcrumb.edit":"edit","settings.localEnvironments.breadcrumb.root":"Environment","settings.localEnvironments.environment.actions.description":"Tindakan ini dapat menjalankan segala perintah dan akan ditampilkan pada header.","settings.localEnvironments.environment.actionsLabel":"Tindakan","settings.localEnvironments.environment.create":"Buat lingkungan lokal","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"Edit lingkungan lokal","settings.localEnvironments.environment.empty":"Belum ada lingkungan lokal yang dikonfigurasikan untuk proyek ini.","settings.localEnvironments.environment.name":"Nama","settings.localEnvironments.environment.setup":"Skrip penyiapan","settings.localEnvironments.environment.setup.description":"Skrip ini akan dijalankan saat pembuatan worktree.","settings.localEnvironments.environment.setup.hint":"Dijalankan di root proyek","settings.localEnvironments.environment.setup.platformOverrides":"Penimpaan platform","settings.localEnvironments.environment.setup.platformOverrides.add":"Tambahkan {platform} skrip penyiapan","settings.localEnvironments.environment.setup.platformOverrides.description":"Menimpa skrip default untuk OS tertentu.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Hapus","settings.localEnvironments.environment.setup.script":"Skrip","settings.localEnvironments.environment.title":"Detail lingkungan","settings.localEnvironments.file.missing":"Simpan untuk membuat file ini untuk pertama kalinya.","settings.localEnvironments.file.parseError":"Tidak dapat mem-parsing file yang ada. Penyimpanan akan menimpanya. ({error})","settings.localEnvironments.file.path":"File: {path}","settings.localEnvironments.file.readError":"Gagal memuat data lingkungan lokal. ({error})","settings.localEnvironments.file.title":"File lingkungan lokal","settings.localEnvironments.loading.body":"Mengambil konfigurasi proyek Anda.","settings.localEnvironments.loading.title":"Memuat lingkungan lokal","settings.localEnvironments.preview.devOnly":"(Hanya DEV)","settings.localEnvironments.preview.save":"Simpan","settings.localEnvironments.preview.saveError":"Gagal menyimpan file. ({error})","settings.localEnvironments.preview.title":"Pratinjau","settings.localEnvironments.save.disabled.name":"Tambahkan nama lingkungan untuk disimpan.","settings.localEnvironments.save.disabled.noChanges":"Tidak ada perubahan untuk disimpan.","settings.localEnvironments.save.disabled.saving":"Menyimpan...","settings.localEnvironments.save.success":"Lingkungan lokal disimpan","settings.localEnvironments.unavailable.body":"Kami tidak dapat memuat pengaturan lingkungan lokal untuk proyek ini.","settings.localEnvironments.unavailable.title":"Lingkungan lokal tidak tersedia","settings.localEnvironments.workspace.add":"Tambahkan proyek","settings.localEnvironments.workspace.title":"Proyek","settings.localEnvironments.workspaceSelect.addLabel":"Tambahkan lingkungan","settings.localEnvironments.workspaceSelect.description":"Lingkungan lokal memberi tahu Codex tentang cara mengatur worktree untuk proyek. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Belum ada proyek. Tambahkan proyek untuk mengonfigurasi lingkungan lokal.","settings.localEnvironments.workspaceSelect.errorLabel":"Lingkungan memerlukan perhatian","settings.localEnvironments.workspaceSelect.learnMore":"Pelajari selengkapnya","settings.localEnvironments.workspaceSelect.listLabel":"Proyek yang tersedia","settings.localEnvironments.workspaceSelect.loading":"Memuat proyek.","settings.localEnvironments.workspaceSelect.loadingLabel":"Memuat lingkungan","settings.localEnvironments.workspaceSelect.title":"Pilih proyek","settings.localEnvironments.workspaceSelect.viewAction":"Lihat","settings.mcp.addServer":"Tambahkan server","settings.mcp.app.configure":"Konfigurasi","settings.mcp.app.connect":"Hubungkan","settings.mcp.apps.refresh":"Perbarui","settings.mcp.detail.addArgument":"Tambahkan argumen","settings.mcp.detail.addEnvVar":"Tambahkan variabel environment","settings.mcp.detail.addEnvVarPassthrough":"Tambahkan variabel","settings.mcp.detail.args":"Argumen","settings.mcp.detail.back":"Kembali","settings.mcp.detail.command":"Perintah untuk meluncurkan","settings.mcp.detail.cwd":"Direktori kerja","settings.mcp.detail.docs":"Buka dokumentasi MCP","settings.mcp.detail.docs.link":"Dokumen","settings.mcp.detail.envVarPassthrough":"Penerusan variabel environment","settings.mcp.detail.envVars":"Variabel environment","settings.mcp.detail.http.addEnvHeader":"Tambahkan variabel","settings.mcp.detail.http.addHeader":"Tambahkan judul","settings.mcp.detail.http.bearerToken":"Env var token pembawa","settings.mcp.detail.http.envHeaders":"Judul dari variabel environment","settings.mcp.detail.http.headers":"Judul","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nama","settings.mcp.detail.save":"Simpan","settings.mcp.detail.switchTransportNotice":"Jika Anda ingin mengganti tipe server MCP, silakan hapus instalasi terlebih dahulu.","settings.mcp.detail.titleExisting":"Perbarui {name} MCP","settings.mcp.detail.titleNew":"Terhubung ke MCP kustom","settings.mcp.detail.transport.http":"HTTP yang dapat di-streaming","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Hapus instalan","settings.mcp.empty":"Tidak ada server MCP khusus yang terhubung","settings.mcp.myServers":"Server kustom","settings.mcp.partnerServer.description.figma":"Buat kode lebih baik dengan menggunakan konteks Figma sepenuhnya.","settings.mcp.partnerServer.description.github":"Terintegrasi dengan API GitHub untuk mengautomasi alur kerja dan mengekstrak data.","settings.mcp.partnerServer.description.linear":"Terintegrasi dengan pelacakan masalah dan manajemen proyek Linear","settings.mcp.partnerServer.description.notion":"Baca dokumen, perbarui halaman, kelola tugas","settings.mcp.partnerServer.description.playwright":"Integrasikan automasi browser untuk menerapkan desain dan menguji UI.","settings.mcp.partnerServer.install":"Instal","settings.mcp.partnerServer.installAndAuthenticate":"Instal dan autentikasi","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Kelola","settings.mcp.partnerServer.vendor":"oleh {vendor}","settings.mcp.recommendedServers":"Server yang direkomendasikan","settings.mcp.restartApp":"Mulai ulang","settings.mcp.restartExtension":"Mulai ulang ekstensi","settings.mcp.server.enable":"Aktifkan","settings.mcp.server.login":"Autentikasi","settings.mcp.server.settings":"Pengaturan","settings.multiselect.createOption":'Buat "{value}"',"settings.multiselect.removeOption":"Hapus","settings.nav.account":"Akun","settings.nav.agent":"Konfigurasi","settings.nav.ariaLabel":"Pengaturan","settings.nav.back":"Kembali ke aplikasi","settings.nav.data-controls":"Utas diarsipkan","settings.nav.environments":"Lingkungan Cloud","settings.nav.externalTooltip":"[alpha] Dibuka di browser","settings.nav.general-settings":"Umum","settings.nav.git-settings":"Git","settings.nav.local-environments":"Environment","settings.nav.mcp-settings":"Server MCP","settings.nav.notImplemented":"[alpha] Tidak tersedia di Alpha","settings.nav.personalization":"Personalisasi","settings.nav.skills-settings":"Keahlian","settings.nav.usage-analytics":"Penggunaan & Analitika","settings.nav.worktrees":"Worktree","settings.openSourceLicenses.back":"Kembali","settings.openSourceLicenses.loading":"Memuat…","settings.openSourceLicenses.missing":"Tidak ditemukan pemberitahuan pihak ketiga.","settings.openSourceLicenses.notSupported":"Tidak tersedia di hosting ini.","settings.openSourceLicenses.rowDescription":"Pemberitahuan pihak ketiga untuk dependensi yang dikemas","settings.openSourceLicenses.rowLabel":"Lisensi sumber terbuka","settings.openSourceLicenses.subtitle":"Pemberitahuan pihak ketiga untuk dependensi disertakan dalam aplikasi ini","settings.openSourceLicenses.title":"Lisensi sumber terbuka","settings.openSourceLicenses.view":"Lihat","settings.personalization.agents.description":"Edit instruksi yang menyesuaikan Codex untuk Anda. {learnMore}","settings.personalization.agents.learnMore":"Pelajari selengkapnya","settings.personalization.agents.loadError":"Tidak dapat memuat agent.md.","settings.personalization.agents.loading":"Memuat agent.md…","settings.personalization.agents.placeholder":"Tambahkan instruksi khusus Anda...","settings.personalization.agents.retry":"Coba lagi","settings.personalization.agents.save":"Simpan","settings.personalization.agents.save.error":"Tidak dapat menyimpan agent.md","settings.personalization.agents.save.success":"agent.md disimpan","settings.personalization.agents.title":"Instruksi khusus","settings.personalization.personality.description":"Pilih nada default untuk respons Codex","settings.personalization.personality.label":"Kepribadian","settings.sample.contentBody":"Gunakan tata letak ini untuk menyusun panel pengaturan Anda dengan spasi konsisten.","settings.sample.contentTitle":"Blok konten sampel","settings.section.account":"Akun","settings.section.agent":"Konfigurasi","settings.section.data-controls":"Utas diarsipkan","settings.section.environments":"Lingkungan Cloud","settings.section.external":"Buka di browser Anda selama Alpha","settings.section.general-settings":"Umum","settings.section.git-settings":"Git","settings.section.local-environments":"Environment","settings.section.mcp-settings":"Server MCP","settings.section.mcp-settings.docs":"Dokumen","settings.section.mcp-settings.subtitle":"Hubungkan alat dan sumber data eksternal.","settings.section.personalization":"Personalisasi","settings.section.skills-settings":"Keahlian","settings.section.unavailable":"Belum tersedia di Alpha","settings.section.usage-analytics":"Penggunaan & Analitika","settings.section.worktrees":"Worktree","settings.threadDetail.description":"Pilih jumlah keluaran perintah yang akan ditampilkan dalam utas","settings.threadDetail.label":"Detail utas","settings.worktrees.conversation.untitled":"Percakapan tidak berjudul","settings.worktrees.delete.error":"Gagal menghapus worktree","settings.worktrees.empty.body":"Worktree yang dibuat oleh Codex akan muncul di sini.","settings.worktrees.empty.title":"Belum ada worktree","settings.worktrees.error.body":"Ada kesalahan saat memuat worktree.","settings.worktrees.error.retry":"Coba lagi","settings.worktrees.error.title":"Tidak dapat memuat worktree","settings.worktrees.loading.body":"Mengambil detail worktree.","settings.worktrees.loading.title":"Memuat worktree","settings.worktrees.repository.loading":"Memuat metadata repositori…","settings.worktrees.repository.unknown":"Repositori tak dikenal","settings.worktrees.row.conversations":"Percakapan","settings.worktrees.row.conversations.empty":"Tidak ada percakapan ditautkan dengan worktree ini.","settings.worktrees.row.conversations.loading":"Memuat percakapan...","settings.worktrees.row.delete":"Hapus","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Tambahkan proyek baru","sidebarElectron.archiveThread":"Arsipkan utas","sidebarElectron.archiveThreadError":"Gagal mengarsipkan utas","sidebarElectron.collapseFolder":"Ciutkan folder","sidebarElectron.createStableWorktree":"Buat worktree permanen","sidebarElectron.createStableWorktree.dialog.ariaLabel":"Nama proyek","sidebarElectron.createStableWorktree.dialog.cancel":"Batalkan","sidebarElectron.createStableWorktree.dialog.create":"Buat","sidebarElectron.createStableWorktree.dialog.placeholder":"Nama proyek","sidebarElectron.createStableWorktree.dialog.subtitle":"Buat worktree git baru dari HEAD, tambahkan sebagai proyek, dan simpan hingga Anda menghapusnya.","sidebarElectron.createStableWorktree.dialog.title":"Buat worktree dan simpan sebagai proyek","sidebarElectron.createStableWorktree.error":"Gagal membuat worktree permanen: {message}","sidebarElectron.debugNavLink":"Debug","sidebarElectron.editWorkspaceRootOptionName":"Edit nama","sidebarElectron.expandFolder":"Perluas folder","sidebarElectron.groupByMenu.recency":"Daftar kronologis","sidebarElectron.groupByMenu.title":"Atur","sidebarElectron.groupByMenu.workspace":"Berdasarkan proyek","sidebarElectron.inboxRouteNavLink":"Automasi","sidebarElectron.markThreadUnread":"Tandai sebagai belum dibaca","sidebarElectron.missingWorkspaceRoot":"Folder proyek ini telah dihapus atau dipindahkan","sidebarElectron.newThread":"Utas baru","sidebarElectron.newThreadInGroup":"Mulai utas baru di {folder}","sidebarElectron.noRecentThreads":"Tidak ada utas terkini","sidebarElectron.noTasks":"Tidak ada utas","sidebarElectron.noTasks.start":"Tambahkan proyek baru","sidebarElectron.noTasksWithFilter":"Tidak ada utas yang sesuai dengan filter","sidebarElectron.pinnedThreads":"Utas yang disematkan","sidebarElectron.recentNavLink":"Utas","sidebarElectron.recentThreads":"Utas terkini","sidebarElectron.removeWorkspaceRootOption":"Hapus","sidebarElectron.renameThread":"Ganti nama utas","sidebarElectron.renameThreadDialogAriaLabel":"Judul utas","sidebarElectron.renameThreadDialogCancel":"Batalkan","sidebarElectron.renameThreadDialogPlaceholder":"Tambahkan judul…","sidebarElectron.renameThreadDialogSave":"Simpan","sidebarElectron.renameThreadDialogSubtitle":"Buat menjadi singkat dan mudah dikenali.","sidebarElectron.renameThreadDialogTitle":"Ganti nama utas","sidebarElectron.renameThreadError":"Gagal mengganti nama utas","sidebarElectron.renameWorkspaceRootOptionLabel":"Nama tampilan","sidebarElectron.showLess":"Tampilkan lebih sedikit","sidebarElectron.showMenu.all":"Semua utas","sidebarElectron.showMenu.relevant":"Relevan","sidebarElectron.showMenu.relevantHint":"Hanya tampilkan utas terkini untuk cabang, worktree, atau utas lain yang membutuhkan perhatian Anda saat ini","sidebarElectron.showMenu.title":"Tampilkan","sidebarElectron.showMenu.tooltip":"Filter, urutkan, dan atur utas","sidebarElectron.showMenu.trigger":"Filter utas sidebar","sidebarElectron.showMore":"Tampilkan lainnya","sidebarElectron.skillsAppsRouteNavLink":"Keahlian & Aplikasi","sidebarElectron.skillsRouteNavLink":"Keahlian","sidebarElectron.sortMenu.created":"Dibuat","sidebarElectron.sortMenu.title":"Sortir berdasarkan","sidebarElectron.sortMenu.updated":"Diperbarui","sidebarElectron.taskNavigation":"Folder otomatisasi","sidebarElectron.tasksInFolder":"Otomatisasi dalam {folder}","sidebarElectron.workspaceOptions":"Tindakan proyek untuk {folder}","sidebarElectron.worktreeGroupTooltip":"Ini adalah worktree git","skills.appsPage.apps.enableToggle":"Aktifkan aplikasi","skills.appsPage.apps.installOnChatGpt":"Instal di ChatGPT","skills.appsPage.apps.manageOnChatGpt":"Kelola di ChatGPT","skills.appsPage.apps.noDescription":"Tidak ada deskripsi","skills.appsPage.createSkill":"Keahlian baru","skills.appsPage.empty.apps":"Tidak ditemukan aplikasi","skills.appsPage.empty.discoverApps":"Tidak ada aplikasi untuk ditemukan","skills.appsPage.empty.installedApps":"Tidak ada aplikasi yang terinstal","skills.appsPage.empty.skills":"Belum ditemukan keahlian","skills.appsPage.heading":"Keahlian & Aplikasi","skills.appsPage.search.all":"Telusuri keahlian & aplikasi","skills.appsPage.search.all.label":"Telusuri keahlian dan aplikasi","skills.appsPage.search.apps":"Telusuri aplikasi","skills.appsPage.search.apps.label":"Telusuri aplikasi","skills.appsPage.search.skills":"Telusuri keahlian","skills.appsPage.search.skills.label":"Telusuri keahlian","skills.appsPage.section.apps":"Aplikasi","skills.appsPage.section.apps.seeAll":"Lihat {count} aplikasi semuanya","skills.appsPage.section.discover":"Temukan","skills.appsPage.section.installedApps":"Telah diinstal","skills.appsPage.section.skills":"Keahlian","skills.appsPage.section.skills.seeAll":"Lihat {count} keahlian semuanya","skills.appsPage.subheading":"Berikan Codex kekuatan super. <link>Pelajari selengkapnya</link>","skills.appsPage.tab.apps":"Aplikasi","skills.appsPage.tab.recommended":"Direkomendasikan","skills.appsPage.tab.skills":"Keahlian","skills.card.contentsError":"Tidak dapat memuat konten keahlian.","skills.card.disable":"Nonaktifkan","skills.card.disableSuccess":"Keahlian {skillName} dinonaktifkan","skills.card.disabledBadge":"Dinonaktifkan","skills.card.enable":"Aktifkan","skills.card.enableSuccess":"Keahlian {skillName}  diaktifkan","skills.card.loadingContents":"Memuat konten keahlian...","skills.card.more":"Tindakan lain","skills.card.open":"Buka","skills.card.removeFailed":"Gagal menghapus instalan keahlian","skills.card.removeSuccess":"Keahlian {skillName} dibatalkan instalasinya","skills.card.toggleEnabledError":"Gagal memperbarui keahlian","skills.card.try":"Coba","skills.card.trySkill":"Coba keahlian","skills.card.uninstall":"Hapus instalan","skills.hero.dotLabel":"Buka slide {index}","skills.hero.next":"Keahlian unggulan selanjutnya","skills.hero.trySkill":"Coba keahlian","skills.page.createSkill":"Keahlian baru","skills.page.empty":"Belum ditemukan keahlian","skills.page.filteredEmpty":"Tidak ada keahlian yang cocok dengan filter Anda","skills.page.filteredEmptyDescription":"Coba sesuaikan pencarian atau filter cakupan Anda","skills.page.heading":"Keahlian","skills.page.loading":"Memuat keahlian...","skills.page.refreshSkills":"Perbarui","skills.page.refreshSkillsToUseNew":"Perbarui untuk menggunakan keahlian baru","skills.page.search":"Cari keahlian","skills.page.search.label":"Cari keahlian","skills.page.subheading":"Berikan Codex kekuatan super. <link>Pelajari selengkapnya</link>","skills.preview.copyPrompt":"Salin prompt","skills.preview.examplePrompt":"Contoh prompt","skills.recommended.error":"Tidak dapat memuat keahlian yang direkomendasikan","skills.recommended.install":"Instal","skills.recommended.installSkill":"Instal keahlian","skills.recommended.installSuccess":"Keahlian {skillName} telah diinstal","skills.recommended.installed":"Telah diinstal","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Diinstal oleh admin","skills.scope.builtIn":"Sistem","skills.scope.personal":"Pribadi","skills.scope.repo":"Repo","skills.scope.system":"Sistem","skills.scope.team":"Tim","skills.scope.user":"Pengguna","skills.section.installed":"Telah diinstal","skills.section.recommended":"Direkomendasikan","story.slidingToggle.existing":"Yang ada","story.slidingToggle.fromLocal":"Dari lokal","story.slidingToggle.new":"Baru","story.slidingToggle.toLocal":"Ke lokal","terminal.close":"Tutup terminal","terminal.title":"Terminal","thinkingShimmer.default":"Berpikir","threadEnvIcon.cloudTooltip":"Percakapan ini sedang berjalan di Codex Cloud.","threadEnvIcon.localTooltip":"Percakapan ini sedang berlangsung secara lokal.","threadEnvIcon.worktreeTooltip":"Percakapan ini sedang berjalan di worktree git lokal.","threadHeader.archiveConfirmCancel":"Batalkan","threadHeader.archiveConfirmConfirm":"Arsipkan","threadHeader.archiveConfirmSubtitle":"Anda dapat menemukannya nanti di utas yang diarsipkan.","threadHeader.archiveConfirmTitle":"Arsipkan utas?","threadHeader.copyAppLink":"Salin deeplink","threadHeader.copySessionId":"Salin ID sesi","threadHeader.copyWorkingDirectory":"Salin direktori kerja","threadHeader.forkIntoLocal":"Fork ke lokal","threadHeader.forkIntoWorktree":"Fork ke worktree baru","threadHeader.forkPendingWorktreePrompt":"Fork percakapan ini ke worktree baru.","threadHeader.forkPendingWorktreeTitle":"Percakapan yang di-fork","threadHeader.forkThreadError":"Gagal melakukan fork pada utas","threadHeader.forkThreadRequiresGitRepo":"Fork ke worktree baru memerlukan repositori Git","threadHeader.moreActions":"Tindakan utas","threadPage.newThread":"Utas baru","threadPage.runAction.changeEnvironment":"Ubah lingkungan","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} tindakan","threadPage.runAction.environmentSelector.label":"Pilih lingkungan","threadPage.runAction.label":"Jalankan","threadPage.runAction.missing.label":"Siapkan tindakan jalankan","threadPage.runAction.setup.commandLabel":"Perintah untuk menjalankan","threadPage.runAction.setup.description":"Beri tahu Codex cara menginstal dependensi dan memulai aplikasi Anda.","threadPage.runAction.setup.editMore":"Penyiapan environment","threadPage.runAction.setup.placeholder":"misalnya: npm install npm run","threadPage.runAction.setup.submit":"Simpan dan jalankan","threadPage.runAction.setup.title":"Jalankan","threadPage.runAction.tooltip.withEnvironment":"{environmentName} tindakan","threadPage.toggleDiffPanel":"Alihkan panel diff","threadPage.toggleTerminal":"Ubah terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Buka folder","toolSummaryForCmd.exploredFiles":"<verb>Sudah mencantumkan</verb> file","toolSummaryForCmd.exploredFilesInPath":"<verb>Sudah mencantumkan</verb> file di {path}","toolSummaryForCmd.exploringFiles":"<verb>Sedang mencantumkan</verb> file","toolSummaryForCmd.exploringFilesInPath":"<verb>Sedang mencantumkan</verb> file di {path}","toolSummaryForCmd.finishedBackgroundTerminal":"Terminal latar belakang selesai","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"Terminal latar belakang selesai dengan {command}","toolSummaryForCmd.ranGenericCommand":"<status>Jalankan perintah</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Menjalankan</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Baca</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Menjalankan perintah</status>{timer}","toolSummaryForCmd.runningTimer":"untuk {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Sudah mencari</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Sudah mencari</verb> file","toolSummaryForCmd.searchedForInPath":"<verb>Sudah mencari</verb> {query} di {path}","toolSummaryForCmd.searchingFor":"<verb>Sedang mencari</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Sedang mencari</verb> file","toolSummaryForCmd.searchingForInPath":"<verb>Sedang mencari</verb> {query} di {path}","toolSummaryForCmd.startedBackgroundTerminal":"Terminal latar belakang dimulai","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"Terminal latar belakang dimulai dengan {command}","traceRecording.details.noteLabel":"Apa yang sedang Anda lakukan saat ini terjadi? (opsional)","traceRecording.details.notePlaceholder":"Menavigasi ke utas besar, lalu berganti tab berulang kali…","traceRecording.details.submit":"Kirim trace","traceRecording.details.subtitle":"Kami dapat mengirim trace profil ini untuk membantu mendiagnosis masalah performa.","traceRecording.details.title":"Kirim trace profil?","traceRecording.progress.subtitle":"Biarkan Codex tetap terbuka hingga proses ini selesai.","traceRecording.saving.title":"Menyimpan trace…","traceRecording.startDetails.cancel":"Batalkan","traceRecording.startDetails.submit":"OK, Mulai Merekam","traceRecording.startDetails.subtitle":"Setelah Anda mengklik OK, reproduksikan masalah performa, lalu klik indikator merah mengambang untuk menghentikan dan meninjau trace.","traceRecording.startDetails.title":"Cara Kerja Perekaman Trace","traceRecording.stopButton.ariaLabel":"Hentikan perekaman trace","traceRecording.upload.successToast":"Trace profil sudah dikirim.","traceRecording.uploading.title":"Memuat trace...","wham.diff.addComment":"Menambahkan komentar","wham.diff.binaryFile":"File biner tidak ditampilkan","wham.diff.noContent":"Tidak ada konten","wham.fileTag.deleted":"Dihapus","wham.fileTag.new":"Baru","wham.formattedRelativeDateTime.compactDaysAgo":"{value}h","wham.formattedRelativeDateTime.compactHoursAgo":"{value}j","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}b","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}m","wham.formattedRelativeDateTime.compactYearsAgo":"{value}t","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Mengerjakan tugas Anda","wham.whamProposedTask.title":"Tugas disarankan","wham.whamProposedTask.useSuggestion":"Gunakan saran","workspaceRootDialog.addError":"Gagal menambahkan proyek","workspaceRootDialog.cancel":"Batalkan","workspaceRootDialog.confirmAdd":"Tambahkan proyek","workspaceRootDialog.confirmPick":"Gunakan proyek","workspaceRootDialog.description":"Masukkan jalur pada {host} untuk digunakan sebagai proyek.","workspaceRootDialog.pathLabel":"Jalur proyek","workspaceRootDialog.pathPlaceholder":"/beranda/Anda/proyek","workspaceRootDialog.title.add":"Tambahkan jalur proyek","workspaceRootDialog.title.pick":"Pilih jalur proyek","worktreeInitV2.cancel":"Batalkan","worktreeInitV2.notification.failedTitle":"Penyiapan worktree gagal","worktreeInitV2.output.empty":"Menunggu keluaran...","worktreeInitV2.status.error":"Penyiapan worktree gagal.","worktreeInitV2.status.running":"Membuat worktree dan menjalankan penyiapan.","worktreeInitV2.status.runningFork":"Membuat worktree untuk mem-fork percakapan ini.","worktreeInitV2.status.success":"Worktree sudah siap.","worktreeInitV2.title":"Membuat worktree","worktreeInitV2.workLocallyInstead":"Bekerja secara lokal","worktreeRestoreBanner.body":"Worktree utas ini telah dihapus untuk menghemat ruang disk","worktreeRestoreBanner.missing.body":"Direktori kerja utas ini sudah tidak ada","worktreeRestoreBanner.missing.title":"Direktori kerja saat ini tidak ditemukan","worktreeRestoreBanner.restore.error":"Gagal memulihkan worktree: {message}","worktreeRestoreBanner.restore.success":"Worktree dipulihkan","worktreeRestoreBanner.restoreCta":"Pulihkan worktree","worktreeRestoreBanner.title":"Worktree telah dibersihkan"};export{a as default};
+const a={"CopyButton.copyTooltip":"Salin","app.sidebar.hide":"Sembunyikan sidebar","app.sidebar.show":"Tampilkan sidebar","app.sidebar.tooltip":"Ubah sidebar","appHeader.installUpdate":"Perbarui","appSunset.body":"Versi aplikasi ini sudah tidak lagi didukung. Unduh versi terbaru <here>di sini</here>.","appSunset.title":"Pembaruan diperlukan","automation.updateDirective.create":"Buat","automation.updateDirective.open":"Buka","automation.updateDirective.untitled":"Otomatisasi tidak berjudul","automation.updateDirective.update":"Perbarui","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# percobaan}}","cloudTaskRow.archiveError":"Gagal mengarsipkan tugas","code.diff.requestChange":"Minta perubahan","code.diffComment.cancel":"Batalkan","code.diffComment.comment":"Komentar","code.diffComment.delete":"Hapus","code.diffComment.save":"Simpan","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Tidak satu pun temuan dilaporkan.","codex.alert.closeAriaLabel":"Tutup","codex.appUpsellBanner.cbpApi.message":"Bangun lebih cepat dengan aplikasi Codex. Unduh sekarang atau {learnMoreLink}.","codex.appUpsellBanner.download":"Unduh","codex.appUpsellBanner.freeGo.message":"Codex sudah termasuk dalam paket Anda hingga 2 Maret. Coba aplikasi Codex untuk membangun lebih cepat.","codex.appUpsellBanner.later":"Nanti","codex.appUpsellBanner.learnMoreLowercase":"pelajari selengkapnya","codex.appUpsellBanner.new":"Baru","codex.appUpsellBanner.proPlusBusiness.message":"Coba aplikasi Codex dengan batas penggunaan 2× hingga 2 April. Unduh sekarang atau {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikasi Codex","codex.applyDropdown.header.changes":"Perubahan","codex.applyDropdown.header.fileCount":"{count, plural, other {# file}}","codex.applyDropdown.header.rows":"baris","codex.applyDropdown.header.title":"Terapkan perubahan","codex.applyDropdown.header.workspace":"Proyek","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} file bertentangan:}}","codex.applyDropdown.results.empty":"Tidak ada file yang disalin","codex.applyDropdown.results.skipped":"{count, plural, other {{count} file dilewatkan:}}","codex.applyOrRevertBanner.apply":"Terapkan","codex.applyOrRevertBanner.applyMessage":"Terapkan perubahan dan lanjutkan secara lokal?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Tugas ini dibuat di {environment}, jadi mungkin tidak diterapkan secara bersih.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Perubahan dibuat di {environment}, jadi mungkin tidak diterapkan secara bersih.","codex.applyOrRevertBanner.reapply":"Terapkan ulang","codex.applyOrRevertBanner.revert":"Balikkan","codex.applyOrRevertBanner.revertMessage":"Balikkan perubahan yang diterapkan?","codex.applyResultsDialog.applied":"Diterapkan secara bersih ({count})","codex.applyResultsDialog.close":"Tutup","codex.applyResultsDialog.conflicted":"Bertentangan ({count})","codex.applyResultsDialog.noDetails":"Detail file tidak tersedia","codex.applyResultsDialog.skipped":"Dilewati ({count})","codex.applyResultsDialog.title":"Terapkan hasil","codex.archiveInfo":"Lihat obrolan yang diarsipkan di {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrol Data","codex.archiveInfo.electron":"Lihat obrolan yang diarsipkan di {settingsLink}","codex.archiveInfo.extension":"Lihat obrolan yang diarsipkan di folder .codex Anda.","codex.archiveInfo.settingsLink":"Pengaturan","codex.banner.content.description":"Jalankan tugas secara paralel, lacak progres di mana pun, dan tinjau PR dengan AI.","codex.banner.content.headline":"Codex menangani semuanya.","codex.cloudTaskRow.archiveTask":"Arsipkan tugas","codex.cloudTaskRow.confirmArchiveTask":"Konfirmasi","codex.command.feedback":"Masukan","codex.command.findInThread":"Temukan","codex.command.forceReloadSkills":"Keahlian memuat ulang paksa","codex.command.logOut":"Keluar","codex.command.manageTasks":"Kelola tugas","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Kembali","codex.command.navigateForward":"Teruskan","codex.command.newThread":"Utas baru","codex.command.nextThread":"Utas selanjutnya","codex.command.openFolder":"Buka folder","codex.command.openSkills":"Buka keahlian","codex.command.openThreadOverlay":"Utas yang muncul","codex.command.personalitySettings":"Kepribadian","codex.command.previousThread":"Utas sebelumnya","codex.command.settings":"Pengaturan","codex.command.toggleDiffPanel":"Alihkan panel diff","codex.command.toggleSidebar":"Ubah sidebar","codex.command.toggleTerminal":"Ubah terminal","codex.commandGroup.app":"Aplikasi","codex.commandGroup.configure":"Konfigurasi","codex.commandGroup.navigation":"Navigasi","codex.commandGroup.panels":"Panel","codex.commandGroup.skills":"Keahlian","codex.commandGroup.thread":"Utas","codex.commandGroup.workspace":"Proyek","codex.commandMenu.noResults":"Tidak ada kecocokan","codex.commandMenu.searchPlaceholder":"Cari perintah","codex.commandMenu.suggestedGroup":"Disarankan","codex.commandMenu.switchWorkspace":"Ganti proyek","codex.commandMenu.title":"Menu perintah","codex.common.retry":"Coba lagi","codex.composer.searchBranches":"Cari cabang","codex.dialog.basic.body":"Ini adalah dialog modal simpel menggunakan wrapper kami untuk Radix Dialog.","codex.dialog.basic.cancel":"Batalkan","codex.dialog.basic.confirm":"Konfirmasi","codex.dialog.basic.open":"Buka Dialog","codex.dialog.basic.title":"Dialog Sampel","codex.dialog.long.close":"Tutup","codex.dialog.long.line":"Baris {index} yang dapat digulir untuk mendemonstrasikan konten panjang dalam dialog.","codex.dialog.long.open":"Buka Dialog Panjang","codex.dialog.long.title":"Dialog Konten Panjang","codex.dialog.unstyled.body":"Kisah ini menunjukkan cara penelepon dapat sepenuhnya melakukan kontrol gaya konten dialog.","codex.dialog.unstyled.open":"Buka Dialog Tanpa Gaya","codex.dialog.unstyled.title":"Konten Tanpa Gaya","codex.diff.openInEditorPrompt.openButton":"Buka di editor","codex.diff.openInEditorPrompt.singleLine":"File ini terlalu besar untuk ditampilkan di sni.","codex.diffView.failedToDecodeBase64Diff":"Gagal mendekodekan base64 diff","codex.diffView.filesChanged":"{fileCount, plural, other {# file diubah}}","codex.diffView.imagePreviewAlt":"Pratinjau gambar","codex.diffView.imagePreviewEmpty":"Tidak ada gambar","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Data diff tidak ada","codex.diffView.pdfPreview.nextPage":"Halaman selanjutnya","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Halaman sebelumnya","codex.diffView.pdfPreviewEmpty":"Tidak ada pratinjau PDF","codex.diffView.pdfPreviewError":"Tidak dapat merender pratinjau PDF","codex.diffView.richPreviewDisable":"Nonaktifkan pratinjau lengkap","codex.diffView.richPreviewEnable":"Aktifkan pratinjau lengkap","codex.diffView.richPreviewLoading":"Memuat pratinjau…","codex.diffView.richPreviewToggle":"Ubah pratinjau lengkap","codex.diffView.switchToUnified":"Beralif ke diff terpadu","codex.environmentSelector.noEnvironment":"Environment tidak ada","codex.environments.environmentSettings":"Penyiapan environment","codex.environments.learnMore":"Pelajari selengkapnya","codex.environments.listError":"Gagal memuat environment","codex.environments.noEnvironmentsFound":"Environment tidak ditemukan","codex.environments.searchError":"Gagal mencari environment.","codex.errorBoundary.genericError":"Ups, terjadi kesalahan","codex.errorBoundary.goHome":"Coba lagi","codex.file.patch.missing":"Tidak dapat membangun patch untuk file ini.","codex.gallery.automations.cwdLabel":"Proyek","codex.gallery.automations.nameLabel":"Nama","codex.gallery.automations.namePlaceholder":"Ringkas tugas","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Deskripsikan yang seharusnya dilakukan Codex","codex.gallery.dialogs.automation.label":"Dialog otomatisasi","codex.gallery.dialogs.basic.body":"Gunakan tata letak ini untuk konfirmasi lugas atau formulir singkat.","codex.gallery.dialogs.basic.cancel":"Batalkan","codex.gallery.dialogs.basic.confirm":"Konfirmasi","codex.gallery.dialogs.basic.label":"Dialog dasar","codex.gallery.dialogs.basic.title":"Dialog sampel","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Jelaskan masalahnya","codex.gallery.dialogs.feedbackSubmission.bad":"Hasil buruk","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Hasil bagus","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Sertakan log sesi Codex saat ini","codex.gallery.dialogs.feedbackSubmission.label":"Penyerahan masukan","codex.gallery.dialogs.feedbackSubmission.other":"Lainnya","codex.gallery.dialogs.feedbackSubmission.placeholder":"Jelaskan masalahnya di sini","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"Pemeriksaan Keamanan","codex.gallery.dialogs.feedbackSubmission.submit":"Kirim","codex.gallery.dialogs.feedbackSubmission.title":"Masukan","codex.gallery.dialogs.feedbackSuccess.body":"Masukan berhasil diunggah. Jika masalah tetap terjadi, harap buka GitHub issue atau sebut id utas pada masalah terbuka yang sudah ada:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Tutup","codex.gallery.dialogs.feedbackSuccess.label":"Masukan berhasil","codex.gallery.dialogs.feedbackSuccess.title":"Masukan berhasil diunggah","codex.gallery.dialogs.gitApplyResults.applied":"Diterapkan secara bersih (2)","codex.gallery.dialogs.gitApplyResults.close":"Tutup","codex.gallery.dialogs.gitApplyResults.conflicted":"Bertentangan (1)","codex.gallery.dialogs.gitApplyResults.label":"Terapkan hasil","codex.gallery.dialogs.gitApplyResults.title":"Terapkan hasil","codex.gallery.dialogs.gitPushError.body":"Tarik perubahan terbaru atau push secara paksa jika Anda tahu riwayat jarak jauh aman untuk ditimpa.","codex.gallery.dialogs.gitPushError.cancel":"Batalkan","codex.gallery.dialogs.gitPushError.force":"Push secara paksa","codex.gallery.dialogs.gitPushError.label":"Kesalahan push","codex.gallery.dialogs.gitPushError.subtitle":"Cabang Anda berada di balik origin/main.","codex.gallery.dialogs.gitPushError.title":"Gagal mendorong perubahan","codex.gallery.dialogs.gitRevert.cancel":"Batalkan","codex.gallery.dialogs.gitRevert.confirm":"Balikkan","codex.gallery.dialogs.gitRevert.label":"Batalkan perubahan","codex.gallery.dialogs.gitRevert.skip":"Jangan tanya lagi","codex.gallery.dialogs.gitRevert.subtitle":"Tindakan ini akan menghapus semua perubahan ini.","codex.gallery.dialogs.gitRevert.title":"Batalkan perubahan?","codex.gallery.dialogs.longForm.label":"Dialog formulir panjang","codex.gallery.dialogs.proseModal.body":"Gaya modal ini digunakan untuk instruksi lebih panjang, onboarding, atau blok konten yang berlimpah.","codex.gallery.dialogs.proseModal.close":"Tutup","codex.gallery.dialogs.proseModal.subtitle":"Bagikan panduan atau dokumentasi formulir lebih panjang di sini.","codex.gallery.dialogs.proseModal.title":"Modal prosa","codex.gallery.dialogs.submitBlocked.label":"Serahkan diblokir","codex.gallery.dialogs.submitBlocked.message":"Pesan Anda tidak dapat dikirim karena proyeknya tidak tersedia.","codex.gallery.dialogs.submitBlocked.ok":"OKE","codex.gallery.dialogs.submitBlocked.title":"Tidak dapat mengirim pesan","codex.gallery.dialogs.title":"Dialog","codex.gallery.dropdown.filterPlaceholder":"Filter item","codex.gallery.dropdowns.actionRow":"Baris tindakan","codex.gallery.dropdowns.actionRow.disabled":"Tindakan dinonaktifkan","codex.gallery.dropdowns.actionRow.primary":"Tindakan primer","codex.gallery.dropdowns.actionRow.secondary":"Tindakan sekunder","codex.gallery.dropdowns.actionRow.trigger":"Tampilkan tindakan","codex.gallery.dropdowns.basic":"Menu dropdown dasar","codex.gallery.dropdowns.basic.newFile":"File baru","codex.gallery.dropdowns.basic.newFolder":"Folder baru","codex.gallery.dropdowns.basic.openSettings":"Buka pengaturan","codex.gallery.dropdowns.basic.title":"Tindakan cepat","codex.gallery.dropdowns.basic.trigger":"Buka menu","codex.gallery.dropdowns.basic.upload":"Unggah","codex.gallery.dropdowns.panel":"Permukaan panel","codex.gallery.dropdowns.panel.apply":"Terapkan","codex.gallery.dropdowns.panel.body":"Tinjau diff dan terapkan ke proyek Anda.","codex.gallery.dropdowns.panel.preview":"Pratinjau","codex.gallery.dropdowns.panel.title":"Terapkan perubahan","codex.gallery.dropdowns.panel.trigger":"Buka panel","codex.gallery.dropdowns.search":"Menu dropdown yang dapat dicari","codex.gallery.dropdowns.search.first":"Saluran Alfa","codex.gallery.dropdowns.search.second":"Cabang Beta","codex.gallery.dropdowns.search.third":"Kandidat rilis","codex.gallery.dropdowns.search.trigger":"Filter item","codex.gallery.dropdowns.submenu":"Menu dropdown dengan submenu","codex.gallery.dropdowns.submenu.optionA":"Proyek alpha","codex.gallery.dropdowns.submenu.optionB":"Proyek beta","codex.gallery.dropdowns.submenu.optionC":"Proyek gamma","codex.gallery.dropdowns.submenu.primary":"Tetapkan pemilik","codex.gallery.dropdowns.submenu.secondary":"Pindahkan ke","codex.gallery.dropdowns.submenu.tertiary":"Arsipkan","codex.gallery.dropdowns.submenu.trigger":"Pilih tindakan","codex.gallery.dropdowns.title":"Menu dropdown","codex.gallery.inbox.automations.close":"Tutup","codex.gallery.inbox.automations.popover.cardTitle":"Kelola otomatisasi","codex.gallery.inbox.automations.popover.dialogTitle":"Kelola otomatisasi","codex.header.settingsTooltip":"Pengaturan","codex.hunk.patch.error":"Gagal men-stage","codex.hunk.patch.missing":"Tidak dapat membangun patch untuk hunk ini.","codex.hunk.patch.partialSuccess":"Berhasil sebagian","codex.hunk.patch.revertError":"Gagal mengurungkan stage","codex.hunk.patch.revertSuccess":"Berhasil mengurungkan stage","codex.hunk.patch.success":"Berhasil men-stage","codex.legal.autonomy.details":"Untuk detail selengkapnya, lihat {link}","codex.legal.autonomy.details.link":"Dokumen Codex","codex.legal.autonomy.title":"Tentukan seberapa jauh otonomi yang ingin Anda berikan","codex.legal.backButton":"Kembali","codex.legal.cloud.taskOne.meta":"openai/agi · 12 Okt","codex.legal.cloud.taskOne.title":"Jelaskan repositori kepada desainer baru","codex.legal.cloud.taskThree.meta":"openai/codex · 8 Okt","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Buat tema mode gelap","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 Okt","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Perbaiki bug onboarding","codex.legal.continue.apikey":"Lanjutkan","codex.legal.continueButton":"Berikutnya","codex.legal.copilot.details":"Menggunakan paket Copilot Anda untuk semua panggilan, penagihan, dan limit pemakaian model. Penggunaan ekstensi Codex tunduk pada {oaiTos} dan {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Ketentuan Layanan GitHub","codex.legal.copilot.oaiTosLink":"Ketentuan layanan Codex OpenAI","codex.legal.copilot.title":"Didukung oleh GitHub Copilot","codex.legal.mistakes.review":"Tinjau kode yang ditulis dan perintah yang dijalankan","codex.legal.mistakes.title":"ChatGPT dapat membuat kesalahan","codex.legal.powered.details":"Menggunakan limit pemakaian paket Anda dan {link}","codex.legal.powered.details.link":"preferensi data pelatihan","codex.legal.powered.title":"Didukung oleh akun ChatGPT Anda","codex.legal.step.cloud.subtitle":"Kirim tugas ke Codex untuk berjalan di latar belakang agar Anda bisa tetap fokus dan bergerak lebih cepat.","codex.legal.step.cloud.title":"Serahkan ke Codex di cloud","codex.legal.step.intro.subtitle":"Codex menavigasi, mengedit, menjalankan perintah, dan mengeksekusi test langsung di repo Anda. Didukung oleh akun ChatGPT Anda.","codex.legal.step.intro.title":"Codex dalam IDE Anda","codex.legal.step.todo.subtitle":"Tulis komentar TODO dan konversi menjadi tugas Codex dalam satu klik saja.","codex.legal.step.todo.title":"Ubah TODO menjadi tugas Codex","codex.legal.todo.heading":"TODO: implementasikan skema","codex.localConversation.closeImagePreview":"Tutup pratinjau gambar","codex.localConversation.userImageAttachment":"Lampiran pengguna","codex.localTaskRow.archiveTask":"Arsipkan utas","codex.localTaskRow.awaitingApproval":"Menunggu persetujuan","codex.localTaskRow.awaitingResponse":"Menunggu tanggapan","codex.localTaskRow.confirmArchiveTask":"Konfirmasi","codex.loggedOut.apiKeyPrompt.cancel":"Batalkan","codex.loggedOut.apiKeyPrompt.confirm":"OKE","codex.loggedOut.apiKeyPrompt.getKey":"Dapatkan Kunci API","codex.loggedOut.apiKeyPrompt.inputLabel":"Masukkan kunci API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tugas cloud dinonaktifkan dengan kunci API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tugas cloud dinonaktifkan dengan Copilot dan kunci API","codex.loggedOut.signIn":"Masuk dengan ChatGPT","codex.loggedOut.signIn.cancel":"Batalkan masuk","codex.loggedOut.signInWithCopilot":"Masuk dengan GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Gunakan Kunci API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Alat {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Dipanggil","codex.mcpTool.collapsedLabel.verb.calling":"Memanggil ","codex.mcpTool.embeddedResource.contentLabel":"Konten","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tipe MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Alat tidak menghasilkan konten","codex.mcpTool.rawPayloadHeading":"{server} mentah. Payload panggilan alat {tool}.","codex.menu.recent":"Terkini","codex.menu.seeAllHistory":"Lihat semua riwayat","codex.modelCapacityBanner.headline.noReset":"{modelName} sedang penuh kapasitasnya. Coba lagi nanti, atau mulai percakapan baru dengan model lain.","codex.modelCapacityBanner.headline.withReset":"{modelName} sedang penuh kapasitasnya. Coba lagi setelah {resetDate}, atau mulai percakapan baru dengan model lain.","codex.modelCapacityBanner.title":"Model yang dipilih sedang penuh kapasitasnya","codex.patch.change.contentsDeleted":"Konten dihapus","codex.patch.change.created":"Dibuat","codex.patch.change.created-file":"File telah dibuat","codex.patch.change.creating":"Membuat","codex.patch.change.deleted":"Dihapus","codex.patch.change.deleted-file":"File telah dihapus","codex.patch.change.deleting":"Menghapus","codex.patch.change.edited":"Diedit","codex.patch.change.edited-file":"File yang diedit","codex.patch.change.editing":"Mengedit","codex.patch.change.noChanges":"Tidak ada perubahan","codex.patch.change.rejected-add":"Ditolak","codex.patch.change.rejected-delete":"Ditolak","codex.patch.change.rejected-edit":"Ditolak","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} dari {total} tugas selesai","codex.plan.todoListCreated":"Daftar to-do dibuat dengan {total} tugas","codex.profileDropdown.apiKeyAuth":"Masuk dengan kunci API","codex.profileDropdown.codexSettings":"Pengaturan Codex","codex.profileDropdown.copilotAuth":"Masuk dengan Copilot","codex.profileDropdown.defaultAccountTitle":"Akun default","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter untuk mengirim prompt panjang","codex.profileDropdown.enterBehaviorError":"Gagal memperbarui pengaturan","codex.profileDropdown.getPlus":"Upgrade untuk limit lebih tinggi","codex.profileDropdown.keyboardShortcuts":"Pintasan keyboard","codex.profileDropdown.language":"Bahasa","codex.profileDropdown.languageDefault":"Deteksi Otomatis","codex.profileDropdown.languageSearchPlaceholder":"Telusuri bahasa","codex.profileDropdown.languageUpdateError":"Gagal memperbarui bahasa","codex.profileDropdown.logOut":"Keluar","codex.profileDropdown.mcp":"Pengaturan MCP","codex.profileDropdown.openConfigToml":"Buka config.toml","codex.profileDropdown.openConfigToml.wsl":"Buka config.toml di environment WSL","codex.profileDropdown.openExtensionSettings":"Buka pengaturan","codex.profileDropdown.openMcpSettings":"Buka pengaturan MCP","codex.profileDropdown.openOnStartup":"Buka saat mulai","codex.profileDropdown.openOnStartupError":"Gagal memperbarui pengaturan","codex.profileDropdown.openSkillsSettings":"Buka pengaturan Keahlian","codex.profileDropdown.personalAccountTitle":"Akun pribadi","codex.profileDropdown.queueFollowUps":"Lanjutan antrean","codex.profileDropdown.queueFollowUpsError":"Gagal memperbarui pengaturan","codex.profileDropdown.readDocs":"Baca dokumen","codex.profileDropdown.readSkillsDocs":"Baca dokumen","codex.profileDropdown.runInWsl":"Berjalan di WSL","codex.profileDropdown.runInWslError":"Gagal memperbarui pengaturan","codex.profileDropdown.runInWslTooltip":"Menjalankan Codex dalam WSL. Direkomendasikan untuk keamanan sandbox dan kinerja lebih baik.","codex.profileDropdown.settings":"Pengaturan IDE","codex.profileDropdown.settingsPage":"Pengaturan","codex.profileDropdown.signInWithOpenAI":"Masuk dengan ChatGPT","codex.profileDropdown.skills":"Pengaturan Keahlian","codex.profileDropdown.switchToCopilotAccount":"Gunakan akun Copilot","codex.profileDropdown.switchToOpenAIAccount":"Gunakan akun OpenAI","codex.profileDropdown.todoCodelens":"Perbaiki komentar TODO","codex.profileDropdown.todoCodelensError":"Gagal memperbarui pengaturan","codex.profileDropdown.windowsDocumentation":"Dokumentasi Windows","codex.profileFooter.signedInFallback":"Pengaturan","codex.profileFooter.upgrade":"Upgrade","codex.recentTasksMenu.clearSearch":"Kosongkan pencarian","codex.recentTasksMenu.cloud":"Tugas cloud","codex.recentTasksMenu.count":"{count, plural, =0 {Tidak ada tugas yang sedang berlangsung} other {# tugas sedang berlangsung}}","codex.recentTasksMenu.empty":"Belum ada utas","codex.recentTasksMenu.errorCloud":"Gagal memuat tugas.","codex.recentTasksMenu.errorCloud.inline":"Gagal memuat tugas cloud.","codex.recentTasksMenu.filterAll":"Semua","codex.recentTasksMenu.filterCloudTasks":"Filter tugas cloud","codex.recentTasksMenu.filterTooltip":"Filter tugas berdasarkan lingkungan","codex.recentTasksMenu.local":"Tugas lokal","codex.recentTasksMenu.recent":"Semua tugas","codex.recentTasksMenu.search":"Cari tugas terkini","codex.recentTasksMenu.searchEmpty":"Tidak ada hasil","codex.recentTasksMenu.tooltip":"Riwayat tugas","codex.recentTasksMenu.trigger":"Tugas terkini. {count, plural, other {# sedang berlangsung}}","codex.remoteConversation.applyDiff.applyCta":"Terapkan perubahan","codex.remoteConversation.applyDiff.dropdownTitle":"Terapkan perubahan ke cabang lokal","codex.remoteConversation.applyDiff.revertCta":"Batalkan perubahan","codex.remoteConversation.closeImagePreview":"Tutup pratinjau gambar","codex.remoteConversation.codexCloudTask":"Anda sedang melihat tugas <u>cloud Codex</u>","codex.remoteConversation.errorWithMessage":"Kesalahan: {message}","codex.remoteConversation.loadingImage":"Memuat gambar","codex.remoteConversation.openInWeb":"Buka di web","codex.remoteConversation.streaming":"Memulai","codex.remoteConversation.turnFailed":"Kesalahan terjadi selama tugas ini.","codex.remoteConversation.turnTab.loading":"Percobaan {number}","codex.remoteConversation.turnTab.title":"Percobaan {number}","codex.remoteConversation.userImageAttachment":"Lampiran pengguna","codex.remoteConversation.viewPreviousTurns":"Buka di web","codex.remoteConversation.viewPreviousTurns.buttonText":"Buka","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Buka di web","codex.review.copyGitApplyCommand":"Salin perintah git apply","codex.review.copyGitApplyCommand.toast":"Perintah git apply telah disalin ke clipboard","codex.review.diffTooLarge.description":"Diff ini terlalu besar untuk ditampilkan dalam Tinjauan.","codex.review.diffTooLarge.title":"Diff terlalu besar untuk ditampilkan","codex.review.expandOrCollapseDiffButton.collapse":"Ciutkan semua perbedaan","codex.review.expandOrCollapseDiffButton.expand":"Perluas semua diff","codex.review.expandOrCollapseDiffMenu.collapse":"Ciutkan semua perbedaan","codex.review.expandOrCollapseDiffMenu.expand":"Perluas semua diff","codex.review.fileSearch.clear":"Bersihkan filter file","codex.review.fileSearch.empty":"Tidak satu file pun cocok dengan filter saat ini.","codex.review.fileSearch.label":"Filter file","codex.review.fileSearch.placeholder":"Filter file…","codex.review.filesChanged":"{num, plural, =0 {Tidak ada file diubah} other {# file diubah}}","codex.review.find.loadMore":"Muat lebih banyak kecocokan","codex.review.fullReview.hideFileTree":"Sembunyikan pohon file","codex.review.fullReview.showFileTree":"Tampilkan pohon file","codex.review.header.moreOptions":"Tinjau opsi","codex.review.largeDiff.banner":"Diff besar terdeteksi — menampilkan satu file dalam satu waktu.","codex.review.loadFullFiles.disable":"Jangan memuat file lengkap","codex.review.loadFullFiles.enable":"Muat file lengkap","codex.review.noDiff":"Perubahan file akan muncul di sini","codex.review.noDiff.gitInit.createRepository":"Buat repositori git","codex.review.noDiff.gitInit.creating":"Membuat...","codex.review.noDiff.gitInit.error":"Inisialisasi Git gagal: {message}","codex.review.noDiff.gitInit.success":"Repositori git dibuat","codex.review.noDiff.gitRepoRequired.description":"Lacak dan urungkan perubahan di proyek ini","codex.review.noDiff.gitRepoRequired.title":"Buat repositori Git","codex.review.noDiff.orNoLongerAvailable":"atau diff terbaru tidak lagi tersedia","codex.review.noDiff.reverted":"Giliran terakhir telah dikembalikan","codex.review.noDiff.revertedOrCommitted":"Giliran terakhir telah dikembalikan atau di-commit","codex.review.refreshGitQueries":"Perbarui","codex.review.revert.file.error":"Gagal mengembalikan {path}","codex.review.revert.file.partialSuccess":"Berhasil mengembalikan sebagian {path}","codex.review.revert.file.success":"Mengembalikan {path}","codex.review.revert.hunk.error":"Gagal mengembalikan hunk {hunkNumber} dalam {path}","codex.review.revert.hunk.partialSuccess":"Berhasil mengembalikan sebagian hunk {hunkNumber} dalam {path}","codex.review.revert.hunk.success":"Mengembalikan hunk {hunkNumber} dalam {path}","codex.review.revert.section.error":"Gagal mengembalikan bagian","codex.review.revert.section.partialSuccess":"Bagian berhasil dikembalikan sebagian","codex.review.revert.section.success":"Bagian sudah dikembalikan","codex.review.revertDialog.cancel":"Batalkan","codex.review.revertDialog.confirm":"Konfirmasi","codex.review.revertDialog.message":"Tindakan ini akan menghapus semua perubahan ini.","codex.review.revertDialog.skip":"Jangan tanya lagi","codex.review.revertDialog.title":"Batalkan perubahan?","codex.review.richPreview.disable":"Nonaktifkan pratinjau lengkap","codex.review.richPreview.enable":"Aktifkan pratinjau lengkap","codex.review.source.cloud":"Perubahan cloud","codex.review.source.local.all":"Semua perubahan cabang","codex.review.source.local.lastTurn":"Perubahan giliran terakhir","codex.review.source.local.uncommitted":"Perubahan yang belum di-commit","codex.review.source.worktree":"Perubahan worktree yang belum di-commit","codex.review.stageFilter.empty.staged.description":"Terima edit untuk meneruskan ke staging","codex.review.stageFilter.empty.staged.title":"Tidak ada perubahan yang direncanakan","codex.review.stageFilter.empty.unstaged.description":"Perubahan kode akan muncul di sini","codex.review.stageFilter.empty.unstaged.title":"Tidak ada perubahan yang tidak direncanakan","codex.review.stageFilter.staged":"Di-stage","codex.review.stageFilter.staged.count":"Di-stage · {count}","codex.review.stageFilter.unstaged":"Mengurungkan di-stage","codex.review.stageFilter.unstaged.count":"Mengurungkan di-stage · {count}","codex.review.switchToSplit":"Beralih ke diff terpisah","codex.review.switchToUnified":"Beralif ke diff terpadu","codex.review.toggleDiffView":"Alihkan tampilan diff","codex.review.wordDiffs.disable":"Nonaktifkan diff kata","codex.review.wordDiffs.enable":"Aktifkan diff kata","codex.review.wrap.disable":"Nonaktifkan bungkus kata","codex.review.wrap.enable":"Aktifkan bungkus kata","codex.section.patch.missing":"Tidak dapat membangun patch untuk bagian ini.","codex.shell.collapse":"Ciutkan shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Menyalin konten shell","codex.shell.copy.copyTooltip":"Salin konten shell","codex.shell.copyCommand":"Salin command","codex.shell.copyOutput":"Salin keluaran","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Perluas shell","codex.shell.name":"Shell","codex.shell.noOutput":"Tidak ada keluaran","codex.signInFailed.message":"Gagal masuk: {rawMessage}","codex.stories.toast.show":"Tampilkan Toast","codex.stories.tooltip.basic":"Ini adalah tooltip","codex.stories.tooltip.hoverMe":"Arahkan kursor ke sini","codex.stories.tooltip.largerOffset":"Tooltip ini memiliki pergeseran lebih besar","codex.stories.tooltip.offsetButton":"Pergeseran lebih besar","codex.stories.tooltip.shortcutButton":"Dengan pintasan","codex.stories.tooltip.withShortcut":"Ubah terminal","codex.taskRow.title":"Utas baru","codex.taskRowLayout.confirm":"Konfirmasi","codex.threadFindBar.chatFilter":"Cari obrolan","codex.threadFindBar.close":"Tutup temukan","codex.threadFindBar.diffFilter":"Cari diff","codex.threadFindBar.label":"Temukan dalam utas","codex.threadFindBar.nextResult":"Hasil selanjutnya","codex.threadFindBar.noResults":"0 hasil","codex.threadFindBar.placeholder":"Cari utas...","codex.threadFindBar.placeholder.extension":"Cari utas...","codex.threadFindBar.placeholder.review":"Cari diff...","codex.threadFindBar.placeholder.review.extension":"Cari diff...","codex.threadFindBar.previousResult":"Hasil sebelumnya","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# file diubah}}","codex.unifiedDiff.inlineLargeFile":"Terlalu besar untuk dirender secara inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Urungkan","codex.unifiedDiff.revertPatchError":"Gagal mengembalikan perubahan","codex.unifiedDiff.revertPatchSuccess":"Perubahan dikembalikan","codex.unifiedDiff.reviewChangesSuffix":"perubahan","codex.unifiedDiff.reviewShort":"Tinjau","codex.unifiedDiff.viewDiffTooltip":"Tinjau","codex.upsellBanner.business.headline":"Untuk mendapatkan akses lebih sekarang, kirimkan permintaan ke admin Anda, atau tunggu hingga {resetDate}.","codex.upsellBanner.cbp.headline":"Untuk mendapatkan akses lebih sekarang, kirimkan permintaan ke admin Anda.","codex.upsellBanner.cta.addCredits":"Tambahkan Kredit","codex.upsellBanner.cta.upgradeAccount":"Upgrade","codex.upsellBanner.cta.viewUsage":"Lihat penggunaan","codex.upsellBanner.free.trialHeadline":"Batas penggunaan Anda akan direset pada {resetDate}. Untuk terus menggunakan Codex dan mendapatkan akses ke GPT-5.3-Codex, mulai uji coba Plus gratis Anda hari ini.","codex.upsellBanner.freeOrGo.headline":"Batas penggunaan Anda direset pada {resetDate}. Untuk terus menggunakan Codex, upgrade ke Plus hari ini.","codex.upsellBanner.general.headline":"Batas penggunaan Anda direset pada {resetDate}.","codex.upsellBanner.general.title":"Anda kehabisan pesan Codex","codex.upsellBanner.go.trialHeadline":"Batas penggunaan Anda akan direset pada {resetDate}. Untuk terus menggunakan Codex, mulai uji coba Plus gratis Anda hari ini.","codex.upsellBanner.plus.headline":"Batas penggunaan Anda direset pada {resetDate}. Untuk terus menggunakan Codex, tambahkan kredit atau upgrade ke Pro hari ini.","codex.upsellBanner.pro.headline":"Batas penggunaan Anda direset pada {resetDate}. Tambahkan kredit untuk terus menggunakan Codex sekarang.","codex.userMessage.autoResolveSync":"Selesaikan konflik secara otomatis","codex.userMessage.commentCount":"{count, plural, other {# komentar}}","codex.userMessage.copiedAriaLabel":"Disalin","codex.userMessage.copiedTooltip":"Disalin","codex.userMessage.copyAriaLabel":"Salin pesan","codex.userMessage.copyTooltip":"Salin","codex.userMessage.implementPlan":"Terapkan rencana","codex.userMessage.noContent":"(Tidak ada konten)","codex.userMessage.priorConversation":"Merujuk percakapan sebelumnya","codex.userMessage.reviewMode":"Mode peninjauan","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"untuk {query}","codex.webSearch.summary.verb.completed":"Selesai mencari di web","codex.webSearch.summary.verb.inProgress":"Sedang mencari di web","codex.windowsInstallWslBanner.dismiss":"Tutup","codex.windowsInstallWslBanner.installWslCta":"Aktifkan sandbox","codex.windowsInstallWslBanner.learnMore":"Pelajari selengkapnya","codex.windowsSandboxBanner.content":"Mode agen menggunakan sandbox eksperimental pada Windows untuk membatasi akses sistem file dan jaringan. {sandboxLink}","codex.windowsSandboxBanner.title":"Aktifkan sandbox untuk mode Agen","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Pengaturan Windows","codexUpgradeModal.body":"Model coding agentik terdepan dan terbaru kami — lebih cerdas, lebih cepat, dan lebih mampu untuk pekerjaan teknis umum. {link}","codexUpgradeModal.close":"Tutup","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Pelajari selengkapnya","codexUpgradeModal.title":"Memperkenalkan GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Coba GPT-5.3-Codex sekarang","codexUpgradeModal.useExistingModel":"Lanjutkan dengan model saat ini","commentAttachments.numComments":"{count, plural, other {# komentar}}","commentAttachments.removeAriaLabel":"Hapus lampiran komentar","common.close":"Tutup","composer.addContext.openFilePickerError":"Tidak dapat membuka pemilih file","composer.addContextDropdown.ariaLabel":"Tambahkan file dan lainnya","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Tambahkan file dan lainnya","composer.addPhotosAndFiles":"Tambah foto & file","composer.atMentionList.emptyQuery":"Ketik untuk mencari file","composer.atMentionList.loading":"Menelusuri file…","composer.atMentionList.noResults":"Tidak ada hasil","composer.attemptsSelector.option":"{count, plural, other {# versi}}","composer.attemptsSelector.tooltip":"Jumlah upaya paralel yang dapat dilakukan Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"Menjalankan {count, plural, other {# terminal}}","composer.backgroundTerminals.stop":"Stop","composer.cleanBackgroundTerminals.error":"Tidak dapat menghentikan terminal latar belakang.","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokal","composer.cloudFollowUp.whereRun":"Tindak lanjut ini perlu dijalankan di mana?","composer.cloudTaskCreationError":"Kesalahan saat membuat tugas cloud","composer.cloudTaskError":"Kesalahan saat membuat tugas","composer.contextWindow.autoCompactionTooltipLine1":"Codex secara otomatis memadatkan konteksnya","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Jendela konteks:","composer.contextWindowUsageStatusFull":"{usage}% terpakai","composer.contextWindowUsageStatusLeft":"{usage}% digunakan ({remaining}% tersisa)","composer.contextWindowUsageTooltip":"{usedTokens}rb / {contextWindow}rb token digunakan","composer.customCliTooltip":"Menggunakan executable CLI kustom","composer.dictation.aria":"Dikte","composer.dictation.cancel.aria":"Hentikan pendiktean","composer.dictation.cancel.tooltip":"Hentikan pendiktean","composer.dictation.startError":"Tidak dapat memulai pendiktean","composer.dictation.submit.aria":"Transkripsikan dan kirimkan","composer.dictation.submit.tooltip":"Transkripsikan dan kirimkan","composer.dictation.tooltip":"Tahan untuk mendikte","composer.dictation.transcribeError":"Tidak dapat mentranskripsikan audio","composer.dictation.unsupported":"Pendiktean tidak tersedia pada perangkat ini","composer.dropOverlay.holdShift":"Tahan {key} untuk menjatuhkan","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Buat yang baru","composer.environmentSelector.error":"Kesalahan saat memuat lingkungan","composer.environmentSelector.goBack":"Kembali ke komposer","composer.environmentSelector.title":"Pilih lingkungan","composer.environmentSelector.tooltip":"Pilih lingkungan cloud","composer.feedbackSlashCommand.title":"Masukan","composer.filePicker.selectFile":"Pilih sebuah file","composer.filePicker.selectFiles":"Pilih beberapa file","composer.followerTooltip":"Untuk melanjutkan, kembali ke jendela tempat percakapan ini dimulai.","composer.footer.branchSwitch.checkoutError":"Gagal berpindah cabang: {message}","composer.footer.branchSwitch.createAndCheckout":"Buat dan checkout cabang baru…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Commit perubahan untuk membuat dan checkout cabang baru","composer.footer.branchSwitch.createBranchError":"Gagal membuat cabang: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nama cabang","composer.footer.branchSwitch.createDialog.branchExistsError":"Cabang sudah ada.","composer.footer.branchSwitch.createDialog.close":"Tutup","composer.footer.branchSwitch.createDialog.createAndCheckout":"Buat dan checkout","composer.footer.branchSwitch.createDialog.placeholder":"cabang-baru","composer.footer.branchSwitch.createDialog.title":"Buat dan checkout cabang","composer.footer.branchSwitch.createDialog.trailingSlashError":"Nama cabang tidak dapat diakhiri dengan “/”.","composer.footer.branchSwitch.tooltip":"Beralih cabang","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Commit perubahan di {fileCount, plural, other {# file}} untuk check out {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"perubahan di {fileCount, plural, other {# file}} untuk check out {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Batalkan","composer.footer.branchSwitch.uncommittedDialog.commit":"Commit dan ganti cabang…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Perubahan Anda pada file berikut akan ditimpa oleh  checkout:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Silakan commit perubahan Anda untuk melanjutkan","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"cabang yang dipilih","composer.footer.branchSwitch.uncommittedDialog.title":"Commit perubahan untuk berpindah cabang","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Tidak di-commit: {fileCount, plural, other {# file}}","composer.forkSlashCommand.description":"Fork utas ini ke lokal atau ke worktree baru","composer.forkSlashCommand.option.local.description":"Lanjutkan di utas lokal baru","composer.forkSlashCommand.option.local.title":"Fork ke lokal","composer.forkSlashCommand.option.worktree.description":"Lanjutkan di worktree baru","composer.forkSlashCommand.option.worktree.title":"Fork ke worktree baru","composer.forkSlashCommand.title":"Fork","composer.ideContextIndicator":"Konteks IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Sertakan konteks dari IDE seperti{br}status seleksi dan file yang terbuka.","composer.ideContextIndicator.tooltipToggle":"untuk beralih","composer.ideContextSlashCommand.disableDescription":"Nonaktifkan kontels IDE","composer.ideContextSlashCommand.enableDescription":"Sertakan pilihan saat ini, file yang terbuka, dan konteks lainnya dari IDE Anda","composer.ideContextSlashCommand.title":"Konteks IDE","composer.imageInputsUnsupported":"Model ini tidak mendukung masukan gambar. Coba model lain.","composer.imageUploadFailed":"Gagal mengunggah gambar","composer.includeIdeContextDropdown":"Sertakan konteks IDE","composer.includeIdeContextDropdown.ariaLabel":"Sertakan konteks IDE","composer.localCwdDropdown.addWorkspaceRoot":"Tambahkan proyek baru","composer.localCwdDropdown.noActiveRoot":"Pilih proyek  Anda","composer.localCwdDropdown.noResults":"Folder tidak ditemukan","composer.localCwdDropdown.title":"Pilih proyek  Anda","composer.localTaskError":"Kesalahan saat memulai percakapan","composer.mcpSlashCommand.description":"Tampilkan status server MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Tidak diautentikasi","composer.mcpStatus.authOauth":"Diautentikasi (OAuth)","composer.mcpStatus.authToken":"Diautentikasi (kunci API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Tutup","composer.mcpStatus.disabled":"Dinonaktifkan","composer.mcpStatus.emptyLabel":"Server:","composer.mcpStatus.emptyValue":"Tidak ada server MCP yang sudah dikonfigurasi","composer.mcpStatus.enabled":"Diaktifkan","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Tidak dapat memuat status MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agen","composer.mode.agentMode.auto.dropdownLabel":"Agen","composer.mode.agentMode.auto.optionLabel":"Agen","composer.mode.agentMode.changePermission":"Ganti model","composer.mode.agentMode.custom":"Kustom","composer.mode.agentMode.custom.dropdownLabel":"Kustom","composer.mode.agentMode.custom.option":"Kustom (config.toml)","composer.mode.agentMode.custom.optionLabel":"Kustom (config.toml)","composer.mode.agentMode.customInfo.cancel":"Batalkan","composer.mode.agentMode.customInfo.cli":"Anda bisa menyesuaikan pengaturan tersebut dari CLI atau dengan mengedit file secara langsung.","composer.mode.agentMode.customInfo.confirm":"Gunakan mode kustom","composer.mode.agentMode.customInfo.description":"Mode kustom menerapkan kebijakan persetujuan dan sandbox yang ditetapkan dalam <link>config.toml Anda</link> file.","composer.mode.agentMode.customInfo.docs":"Pelajari selengkapnya tentang mengonfigurasi kebijakan persetujuan dan sandbox dalam <link>dokumen environment eksekusi</link>.","composer.mode.agentMode.customInfo.refresh":"Segala perubahan akan diterapkan saat agen dijalankan kembali.","composer.mode.agentMode.customInfo.title":"Cara kerja mode kustom","composer.mode.agentMode.fullAccess":"Agen (akses penuh)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agen (akses penuh)","composer.mode.agentMode.fullAccess.optionLabel":"Agen (akses penuh)","composer.mode.agentMode.fullAccessConfirm.caution":"Berhati-hatilah saat mengaktifkan akses penuh. Tindakan ini meningkatkan secara signifikan risiko kehilangan serta kebocoran data, atau perilaku tidak diharapkan.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ya, lanjutkan saja","composer.mode.agentMode.fullAccessConfirm.description":"Saat berjalan dengan akses penuh, Codex dapat mengedit file pada komputer Anda dan menjalankan perintah dengan jaringan, tanpa persetujuan Anda.","composer.mode.agentMode.fullAccessConfirm.goBack":"Batalkan","composer.mode.agentMode.fullAccessConfirm.title":"Aktifkan akses penuh?","composer.mode.agentMode.readOnly":"Obrolan","composer.mode.agentMode.readOnly.dropdownLabel":"Obrolan","composer.mode.agentMode.readOnly.optionLabel":"Obrolan","composer.mode.agentMode.tooltip":"Ganti model","composer.mode.agentMode.tooltip.auto":"Baca dan edit file, juga jalankan perintah.","composer.mode.agentMode.tooltip.custom":"Gunakan kebijakan persetujuan dan sandbox terkini yang ditetapkan dalam config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex dapat mengedit file di luar proyek ini dan menjalankan perintah dengan akses jaringan. Berhati-hatilah saat menggunakannya.","composer.mode.agentMode.tooltip.readOnly":"Memerlukan persetujuan untuk mengedit file dan menjalankan perintah.","composer.mode.cloud.tooltip":"Bekerja di lingkungan cloud","composer.mode.contactAdmin":"Untuk mendapatkan akses lebih, kontak admin Anda","composer.mode.local":"Lokal","composer.mode.local.learnMore":"Pelajari selengkapnya","composer.mode.local.model.custom":"Kustom","composer.mode.local.model.loadingModel":"Memuat model","composer.mode.local.model.selecrReasoningEffort":"Pilih penalaran","composer.mode.local.model.selectModel":"Pilih model","composer.mode.local.model.tooltip":"Pilih model","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Tinggi","composer.mode.local.reasoning.low.label":"Rendah","composer.mode.local.reasoning.medium.label":"Medium","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Tidak ada","composer.mode.local.reasoning.xhigh.label":"Sangat Tinggi","composer.mode.localRemoteWhereRun":"Pilih tempat untuk menjalankan tugas","composer.mode.newTask.header":"Lanjutkan di","composer.mode.rateLimit.day":"{days}h","composer.mode.rateLimit.heading":"Limit pemakaian tersisa","composer.mode.rateLimit.hour":"{hours}j","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"Batas {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} limit minggu}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} Minggu}}","composer.mode.remote.connectToCloud":"Hubungkan web Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Siapkan environment via web Codex untuk mengaktifkan pengiriman tugas ke cloud.","composer.mode.remote.selectEnvironment":"Pilih lingkungan","composer.mode.remote.sendToCloud":"Kirim ke cloud","composer.mode.remote.setupViaWeb":"Siapkan lingkungan via web Codex","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Bekerja di lingkungan cloud","composer.mode.segmentedToggle.local.tooltip":"Bekerja di proyek lokal Anda","composer.mode.segmentedToggle.worktree.tooltip":"Bekerja di worktree paralel","composer.mode.upgradeToPlus":"Tingkatkan ke Plus","composer.mode.upgradeToPro":"Upgrade ke Pro","composer.mode.workLocally":"Proyek lokal","composer.mode.workLocally.currentBranchFallback":"cabang Anda","composer.mode.workLocally.tooltip":"Berfungsi pada {branchName}","composer.mode.worktree":"Worktree baru","composer.mode.worktree.submoduleWarning":"Repo ini memiliki submodul Git. Pembuatan worktree dapat gagal","composer.mode.worktree.tooltip":"Buat salinan proyek lokal Anda untuk bekerja secara paralel","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Mengganti model di tengah percakapan akan menurunkan performa.","composer.newChat.heading.browser":"Apa yang sebaiknya kami kodekan selanjutnya?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex menggunakan izin yang ditentukan dalam config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex memiliki akses penuh ke komputer Anda (risiko lebih tinggi)","composer.permissionsDropdown.custom.label":"Kustom (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Kustom (config.toml)","composer.permissionsDropdown.default.label":"Izin default","composer.permissionsDropdown.default.optionLabel":"Izin default","composer.permissionsDropdown.default.tooltip":"Codex secara otomatis menjalankan perintah di dalam sandbox","composer.permissionsDropdown.disabled.requirements":"Izin dikunci oleh requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Akses penuh dinonaktifkan oleh requirements.toml","composer.permissionsDropdown.fullAccess.label":"Akses penuh","composer.permissionsDropdown.fullAccess.optionLabel":"Akses penuh","composer.permissionsDropdown.trigger.tooltip":"Ubah izin","composer.personalitySlashCommand.description.friendly":"Hangat, kolaboratif, dan membantu","composer.personalitySlashCommand.description.pragmatic":"Ringkas, fokus pada tugas, dan langsung ke inti","composer.personalitySlashCommand.label.friendly":"Ramah","composer.personalitySlashCommand.label.pragmatic":"Pragmatis","composer.personalitySlashCommand.notApplicableSuffix":"(Tidak berlaku untuk model saat ini)","composer.personalitySlashCommand.title":"Kepribadian","composer.placeholder.cloudFollowUp.directFollowUp":"Tindak lanjut untuk tugas  cloud ini","composer.placeholder.cloudFollowUp.local":"Buat tugas lokal baru yang merujuk tugas cloud ini","composer.placeholder.cloudFollowUp.workingTree":"Buat tugas cloud baru yang menyertakan kode Anda saat ini dan akan merujuk tugas ini","composer.placeholder.localFollowUp.cloud":"Tindak lanjut dalam tugas cloud baru","composer.placeholder.localFollowUp.locally":"Minta perubahan tindak lanjut","composer.placeholder.newTask.cloud":"Minta Codex untuk melakukan apa pun di cloud","composer.placeholder.newTask.doAnything":"Minta Codex untuk melakukan apa pun","composer.placeholder.newTask.locally":"Tanya apa saja pada Codex, @ untuk menambah file, dan / untuk perintah","composer.planModeDropdown":"Mode paket","composer.planModeDropdown.ariaLabel":"Mode paket","composer.planModeIndicator":"Paket","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Buat rencana dengan Codex","composer.planModeIndicator.tooltipToggle":"untuk beralih","composer.planSlashCommand.disableDescription":"Matikan mode paket","composer.planSlashCommand.enableDescription":"Nyalakan mode paket","composer.planSlashCommand.title":"Mode paket","composer.priorContext.label":"Konteks sebelumnya","composer.priorContext.removeAriaLabel":"Hapus konteks sebelumnya","composer.queuedMessage.delete":"Hapus pesan dalam antrean","composer.queuedMessage.edit":"Edit pesan","composer.queuedMessage.more":"Tindakan pesan dalam antrean","composer.queuedMessage.sendNow":"Steer","composer.queuedMessage.sendNowTooltip":"Kirim sekarang tanpa mengganggu pekerjaan","composer.queuedMessage.turnOff":"Matikan antrean","composer.reasoningEffort.local.reasoning.tooltip":"Pilih upaya penalaran","composer.remote.branchStartingPoint":"Tugas ini harus dimulai dari cabang yang mana?","composer.remote.branchesSectionHeading":"Cabang","composer.remote.currentEditsSuffix.followUp":"Buat tugas baru yang merujuk pada tugas cloud ini.","composer.remote.currentEditsSuffix.useLocal":"dengan perubahan kode lokal","composer.remote.directFollowUp":"Jangan gunakan perubahan lokal","composer.remote.errorLoadingBranches":"Kesalahan saat memuat cabang","composer.remote.fromBranch":"Dari {branch}","composer.remote.fromCurrentBranch":"Dari {branch} (saat ini)","composer.remote.loadingMoreBranches":"Memuat…","composer.remote.localFileStateHeading":"Status file lokal","composer.remote.localWorkingTree":"Gunakan perubahan lokal","composer.remote.startingPoint":"Tugas ini harus dimulai dari kode yang mana?","composer.reviewMode.branches.error":"Tidak dapat memuat cabang","composer.reviewMode.branches.retry":"Coba lagi","composer.reviewMode.gitRoot.error":"Akar Git tidak ditemukan","composer.reviewMode.option.baseBranch.simple":"Tinjau menggunakan cabang dasar","composer.reviewMode.option.unstaged.simple":"Tinjau perubahan yang belum di-commit","composer.reviewMode.quickReviewError":"Gagal memulai peninjauan kode.","composer.reviewMode.title":"Peninjauan kode","composer.sandboxButton.unlock.disabled.tooltip":"Akses penuh dinonaktifkan oleh requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex dapat menggunakan sandbox eksperimental di Windows untuk membatasi akses sistem file dan jaringan. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Aktifkan sandbox Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Gunakan mode hanya-baca","composer.searchEnvironments":"Cari environment","composer.skillMentionList.app":"Aplikasi","composer.skillMentionList.appLogoAlt":"Logo {name}","composer.skillMentionList.loading":"Memuat keahlian...","composer.skillMentionList.noResults":"Belum ditemukan keahlian","composer.slashCommands.cloudEnvironment.title":"Environment cloud","composer.slashCommands.dialogLabel":"Menu perintah slash","composer.slashCommands.dialogTitle":"Perintah slash","composer.slashCommands.disabledTooltip":"Mulai percakapan baru untuk menggunakan perintah slash","composer.slashCommands.inputPlaceholder":"Cari","composer.slashCommands.noResults":"Tidak ada perintah","composer.slashCommands.skillsGroup":"Keahlian","composer.slashCommands.tooltip":"Jelajahi perintah slash","composer.status.close":"Tutup","composer.statusPlain.alertLabel":"Peringatan:","composer.statusPlain.alertValue":"{remaining}% tersisa pada {window}","composer.statusPlain.contextLabel":"Konteks:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} digunakan / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% tersisa","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Batas {modelName}:","composer.statusPlain.rateLimitDays":"Batas {count}h","composer.statusPlain.rateLimitFallbackLabel":"Batas laju:","composer.statusPlain.rateLimitHours":"Batas {count}j","composer.statusPlain.rateLimitLabelBase":"Batas laju","composer.statusPlain.rateLimitMinutes":"Batas {count}m","composer.statusPlain.rateLimitPercent":"{remaining}% tersisa","composer.statusPlain.rateLimitReset":"direset {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"waktu reset tidak tersedia","composer.statusPlain.rateLimitUnavailable":"Tidak tersedia","composer.statusPlain.sessionCopiedAriaLabel":"ID sesi sudah disalin","composer.statusPlain.sessionCopiedTooltip":"ID sudah disalin","composer.statusPlain.sessionCopyAriaLabel":"Salin ID sesi","composer.statusPlain.sessionCopyTooltip":"Salin ID","composer.statusPlain.sessionLabel":"Sesi:","composer.statusSlashCommand.description":"Tampilkan ID utas, penggunaan konteks, dan batas laju","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OKE","composer.submit.blockedDialogTitle":"Tidak dapat mengirim pesan","composer.submit.emptyMessage":"Masukkan pesan untuk memulai","composer.submit.imageInputsUnsupported":"Hapus gambar atau ganti model untuk mengirim pesan ini.","composer.submit.loadingLocalConfig":"Memuat…","composer.submit.missingCloudConfig":"Anda harus memilih environment cloud","composer.submit.missingCloudTurn":"Tidak dapat menindaklanjuti tugas ini","composer.submit.noWorkspace":"Tambahkan proyek untuk menggunakan Codex","composer.submit.waitForImageUploads":"Mengungah gambar…","composer.submitButtonTooltip.send":"Kirim","composer.submitButtonTooltip.stop":"Stop","composer.worktreeEnvironment.create":"Buat lingkungan lokal","composer.worktreeEnvironment.default":"Lingkungan default","composer.worktreeEnvironment.error":"Kesalahan saat memuat lingkungan","composer.worktreeEnvironment.loading":"Memuat lingkungan...","composer.worktreeEnvironment.title":"Lingkungan lokal","composer.worktreeEnvironment.tooltip":"Pilih lingkungan lokal","composer.worktreeSetupFailed":"Penyiapan worktree gagal. Periksa .codex/environments untuk skrip penyiapan.","compoundButton.secondaryAction":"Tindakan sekunder","copyButton.copied":"Disalin","copyButton.copiedAriaLabel":"Disalin","copyButton.copy":"Salin","copyButton.copyAriaLabel":"Salin","copyButton.copyCode":"Salin kode","diff.actionButton.revertFile":"Kembalikan file","diff.actionButton.revertHunk":"Balikkan","diff.actionButton.revertSection":"Kembalikan semua","diff.actionButton.revertSectionLabel":"Kembalikan semua","diff.actionButton.stageFile":"Stage file","diff.actionButton.stageHunk":"Stage","diff.actionButton.stageSection":"Stage semua","diff.actionButton.stageSectionLabel":"Stage semua","diff.actionButton.unstageFile":"Urungkan stage file","diff.actionButton.unstageHunk":"Urungkan Stage","diff.actionButton.unstageSection":"Urungkan stage semua","diff.actionButton.unstageSectionLabel":"Urungkan stage semua","diff.fileHeader.toggle":"Alihkan diff file","electron.onboarding.login.apikey.cancel":"Batalkan","electron.onboarding.login.apikey.continue":"Lanjutkan","electron.onboarding.login.apikey.label":"Kunci API OpenAI","electron.onboarding.login.apikey.open":"Masukkan kunci API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Batalkan masuk","electron.onboarding.login.chatgpt.continue":"Lanjutkan dengan ChatGPT","electron.onboarding.login.devbox":"Hubungkan ke SSH jarak jauh","electron.onboarding.login.error":"Gagal masuk: {rawMessage}","electron.onboarding.login.snake.start":"Main Snake","electron.onboarding.login.sshConfig.cancel":"Batalkan","electron.onboarding.login.sshConfig.continue":"Lanjutkan","electron.onboarding.login.sshConfig.hostnameLabel":"Nama Hosting SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Cara terbaik untuk membangun dengan agen","electron.onboarding.login.title":"Selamat Datang di Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Lanjutkan","electron.onboarding.welcome.doubleLimits.description":"Untuk merayakan peluncuran aplikasi Codex, Anda mendapatkan batas penggunaan 2× hingga 2 April.","electron.onboarding.welcome.freego.description":"Codex disertakan dalam paket Anda secara gratis hingga 2 Maret – mari kita mulai membangun bersama.","electron.onboarding.welcome.new.title.anon":"Selamat Datang!","electron.onboarding.workspace.continue":"Lanjutkan","electron.onboarding.workspace.empty":"Tambahkan proyek untuk melanjutkan","electron.onboarding.workspace.listLabel":"Proyek yang tersedia","electron.onboarding.workspace.loading":"Memuat proyek...","electron.onboarding.workspace.openFolder":"Tambahkan proyek","electron.onboarding.workspace.selectAll":"Pilih semua","electron.onboarding.workspace.skip":"Lompati","electron.onboarding.workspace.skip.error":"Tidak dapat membuat proyek baru: {message}","electron.onboarding.workspace.skip.error.unknown":"Kesalahan tak dikenal","electron.onboarding.workspace.skipping":"Sedang membuat proyek baru…","electron.onboarding.workspace.subtitle":"Codex akan dapat mengedit file dan menjalankan perintah di folder terpilih.","electron.onboarding.workspace.title":"Pilih proyek","errorPage.list.checkSettings":"Coba perbarui pengaturan IDE Anda","errorPage.list.configToml":"Periksa config.toml Anda untuk pengaturan tidak valid","errorPage.list.downloadExtension":"Coba mengunduh versi berbeda dari ekstensi tersebut","errorPage.list.runInWsl":"Periksa pengaturan Anda untuk menonaktifkan berjalan di WSL jika Anda melihat masalah kompatibilitas","execApprovalRequest.menu.runAlways":"Ya, dan jangan tanya lagi di sesi ini","execApprovalRequest.menu.runAlwaysWithAmendment":"Ya, dan jangan tanya lagi untuk perintah yang dimulai dengan {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ya, dan jangan tanya lagi untuk perintah yang dimulai dengan ","execApprovalRequest.menu.runOnce":"Ya","execApprovalRequest.prompt":"Anda ingin menjalankan perintah ini?","execApprovalRequest.reject":"Tidak","execFooter.exitCode":"Kode keluar {code}","execFooter.exitCode.unknown":"tak dikenal","execFooter.success":"Sukses","feedback.dialog.category.badResult":"Hasil buruk","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Hasil bagus","feedback.dialog.category.other":"Lainnya","feedback.dialog.category.safetyCheck":"Pemeriksaan keamanan","feedback.dialog.descriptionPlaceholder":"Jelaskan masalahnya di sini","feedback.dialog.dismiss":"Tutup","feedback.dialog.includeLogsLabel":"Sertakan log sesi Codex saat ini","feedback.dialog.submit":"Kirim","feedback.dialog.submitError":"Kami tidak dapat menyerahkan masukan Anda. Harap coba dalam beberapa saat lagi.","feedback.dialog.title":"Masukan","feedback.dialog.uploadedMessage.existingIssue":"masalah terbuka yang sudah ada","feedback.dialog.uploadedMessage.openIssue":"buka GitHub Issue","feedback.dialog.uploadedMessage.withThread":"Masukan  berhasil diunggah. Jika masalah tetap terjadi, harap {openIssueLink} atau sebut id utas ini pada {existingIssueLink}.","feedback.dialog.uploadedTitle":"Masukan berhasil diunggah","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Hapus {filename}","header.back":"Kembali","header.recentChats":"Tugas","header.recentTasks.seeAll":"Lihat semua ({total})","home.header.getPlus":"Dapatkan Plus","home.hero.letsBuild":"Mari membangun","homePage.mainContent":"Konten utama","imageAttachment.defaultName":"gambar","imageAttachment.preview.close":"Tutup pratinjau gambar","imageAttachment.removeAriaLabel":"Hapus {filename}","implementPlanRequest.option.implement":"Ya, terapkan rencana ini","implementPlanRequest.prompt":"Terapkan rencana ini?","inbox.archived.deleteError":"Tidak dapat menghapus run yang diarsipkan","inbox.archived.deleteRun":"Hapus run yang diarsipkan","inbox.archived.deleteSuccess":"Utas yang diarsipkan berhasil dihapus. Lihat di <settingsLink>Utas yang diarsipkan</settingsLink>.","inbox.archived.inlineLabel.auto":"Utas ini telah diarsipkan secara otomatis. <learnMoreLink>Pelajari selengkapnya</learnMoreLink>","inbox.archived.inlineLabel.manual":"Utas ini diarsipkan.","inbox.archived.noMessageFound":"Tidak ditemukan pesan","inbox.automations.createError":"Tidak dapat membuat automasi","inbox.automations.deleteConfirm.cancel":"Batalkan","inbox.automations.deleteConfirm.confirm":"Hapus otomatisasi","inbox.automations.deleteConfirm.description":"Ini akan menghapus otomatisasi secara permanen dan menghentikan pelaksanaan di masa mendatang.","inbox.automations.deleteConfirm.title":"Hapus {name}?","inbox.automations.deleteError":"Tidak dapat menghapus otomatisasi","inbox.automations.editTooltip":"Edit automasi","inbox.automations.inProgress":"Sedang diproses","inbox.automations.new":"Baru","inbox.automations.newToolbar":"Automasi baru","inbox.automations.pauseTooltip":"Hentikan sementara otomatisasi","inbox.automations.resumeTooltip":"Lanjutkan otomatisasi","inbox.automations.startingNow":"Memulai sekarang","inbox.automations.startsIn":"Dimulai dalam {startTime}","inbox.automations.status.active":"Aktif","inbox.automations.status.paused":"Dijeda","inbox.automations.status.runs":"{count} dijalankan","inbox.automations.status.started":"Dimulai {date}","inbox.automations.updateError":"Tidak dapat memperbarui otomatisasi","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Semua","inbox.filter.ariaLabel":"Filter item kotak masuk","inbox.filter.unread":"Belum dibaca","inbox.list.archived":"Diarsipkan","inbox.list.inProgress":"Sedang diproses","inbox.list.recent":"Selesai","inbox.list.upNext":"Terjadwal","inbox.mode.automations":"Automasi","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Deskripsi tidak disediakan","inbox.openThread":"Buka utas","inbox.rightPanel.emptySubtitle":"Lakukan automasi pekerjaan dengan mengatur tugas terjadwal","inbox.rightPanel.emptySubtitle.learnMore":"Lakukan automasi pekerjaan dengan mengatur utas terjadwal <link>Pelajari selengkapnya</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# otomasi aktif}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Tidak ada otomatisasi belum dibaca","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# automasi belum dibaca}}","inbox.rightPanel.emptyTitle":"Tidak ada item yang terpilih","inbox.rightPanel.noThread":"Tidak ada utas untuk item ini","inbox.rightPanel.quickStart.header":"Mulai dengan templat","inbox.untitled":"Item kotak masuk tidak berjudul","loadingPage.documentationLink":"dokumentasi","loadingPage.errorDescription":"Codex mengalami crash dengan kesalahan berikut:","loadingPage.errorDescription.documentation":"Klik muat ulang untuk memulai ulang ekstensi Codex, atau kunjungi {documentationLink} kami untuk bantuan tambahan.","loadingPage.errorSignal":"Beberapa hal untuk dicoba:","loadingPage.errorTitle":"Terjadi kesalahan","loadingPage.openConfigToml":"Buka Config.toml","loadingPage.reload":"Muat ulang","localConversation.contextCompacted":"Konteks dipadatkan secara otomatis","localConversation.contextCompacting":"Sedang memadatkan konteks secara otomatis","localConversation.finalAssistantMessageDivider":"Pesan akhir","localConversation.forkedFromConversation":"Di-fork dari {threadTitle}","localConversation.merge.autoResolve.failed":"Permintaan penyelesaian otomatis gagal: {error}","localConversation.merge.autoResolve.sent":"Permintaan penyelesaian otomatis terkirim","localConversation.merge.autoResolveMerge.missingConversation":"Tidak dapat melakukan penyelesaian otomatis tanpa percakapan aktif.","localConversation.merge.autoResolveMerge.request":"Penyelesaian otomatis menggabungkan konflik","localConversation.modelChanged":"Model diubah dari {fromModel} ke {toModel}.","localConversation.modelChanged.warning.line1":"Mengganti model di tengah percakapan akan menurunkan performa.","localConversation.modelChanged.warning.line2":"Konteks mungkin dipadatkan secara otomatis.","localConversation.modelRerouted":"Permintaan Anda dialihkan ke {toModel}.","localConversation.modelRerouted.warning.line1":"Perhatian, permintaan Anda dialihkan ulang untuk mengurangi risiko penyalahgunaan siber.","localConversation.modelRerouted.warning.line2":"Apakah menurut Anda ini sebuah kesalahan? Ajukan peninjauan di<link>chatgpt.com/cyber</link>atau laporkan melalui /feedback","localConversation.moveThread.createBranch.label":"Buat cabang","localConversation.moveToLocal.disabled.branchCheckedOut":"Cabang ini sudah di-checkout di worktree lain","localConversation.moveToLocal.disabled.loading":"Memuat…","localConversation.moveToLocal.disabled.missingSourceHead":"Tidak dapat menyelesaikan commit HEAD worktree","localConversation.moveToLocal.disabled.noWorkspace":"Tidak ditemukan workspace lokal untuk worktree ini","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"Tidak dapat melakukan pemindahan sekarang. Periksa status workspace lokal lalu coba lagi.","localConversation.moveToLocal.error.rollbackIssues":"Masalah rollback: {issues}","localConversation.moveToLocal.label":"Pindahkan ke lokal","localConversation.moveToLocal.loading.subtitle":"Memindahkan perubahan worktree Anda ke lokal…","localConversation.moveToLocal.loading.title":"Memindahkan ke lokal","localConversation.moveToLocal.modal.continue":"Lanjutkan","localConversation.moveToLocal.modal.destinationLabel":"Pindahkan ke","localConversation.moveToLocal.modal.retry":"Coba lagi","localConversation.moveToLocal.modal.subtitle":"Cabang worktree ini dan perubahan yang belum di-commit akan dipindahkan kembali ke checkout lokal Anda.","localConversation.moveToLocal.modal.title":"Pindahkan ke lokal","localConversation.moveToWorktree.error.branchRequired":"Nama cabang worktree wajib diisi","localConversation.moveToWorktree.error.createWorktree":"Gagal membuat worktree: {message}","localConversation.moveToWorktree.error.move":"Gagal memindahkan ke worktree: {message}","localConversation.moveToWorktree.error.prepareBranch":"Gagal menyiapkan cabang worktree “{branch}”: {message}","localConversation.moveToWorktree.error.rollbackIssues":"Masalah rollback: {issues}","localConversation.moveToWorktree.error.unknown":"Gagal memindahkan ke worktree. Silakan coba lagi.","localConversation.moveToWorktree.label":"Pindahkan ke worktree","localConversation.moveToWorktree.loading.subtitle":"Menyiapkan worktree Anda dan memindahkan perubahan lokal…","localConversation.moveToWorktree.loading.title":"Memindahkan ke worktree","localConversation.moveToWorktree.modal.back":"Kembali","localConversation.moveToWorktree.modal.branchAlreadyExists":"Cabang sudah ada","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Cabang sudah ada.","localConversation.moveToWorktree.modal.branchesError":"Tidak dapat memuat cabang","localConversation.moveToWorktree.modal.branchesLoading":"Memuat cabang...","localConversation.moveToWorktree.modal.branchesRetry":"Coba lagi","localConversation.moveToWorktree.modal.continue":"Lanjutkan","localConversation.moveToWorktree.modal.defaultBranchError":"Cabang worktree harus berbeda dari cabang default.","localConversation.moveToWorktree.modal.localBranchLabel":"Cabang lokal","localConversation.moveToWorktree.modal.localBranchPlaceholder":"Pilih cabang checkout lokal","localConversation.moveToWorktree.modal.noTargetBranch":"Tidak ada cabang lokal lain yang tersedia","localConversation.moveToWorktree.modal.retry":"Coba lagi","localConversation.moveToWorktree.modal.subtitle":"Cabang ini dan semua perubahan yang belum di-commit akan dipindahkan ke worktree. Anda harus melakukan checkout ke cabang lain secara lokal sebagai gantinya.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex akan membuat worktree baru untuk utas ini.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"Pilih nama cabang worktree. Codex akan menggunakannya sebagai pengganti cabang default.","localConversation.moveToWorktree.modal.subtitle.loading":"Mencari worktree yang sudah ada…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"Cabang ini akan dipindahkan ke worktree. Cabang lokal Anda saat ini akan tetap di-checkout.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex akan menggunakan kembali worktree yang sudah ada untuk utas ini.","localConversation.moveToWorktree.modal.title":"Pindahkan ke worktree","localConversation.moveToWorktree.modal.trailingSlashError":"Nama cabang tidak dapat diakhiri dengan “/”.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Nama cabang worktree","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Cabang worktree","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"cabang-baru","localConversation.personalityChanged":"Beralih ke kepribadian {personality}","localConversation.planSummary.collapse":"Ciutkan ringkasan paket","localConversation.planSummary.collapseTooltip":"Ciutkan","localConversation.planSummary.download":"Unduh paket","localConversation.planSummary.expand":"Perluas ringkasan paket","localConversation.planSummary.expandTooltip":"Perluas","localConversation.planSummary.openInNewWindow":"Buka","localConversation.planSummary.openInNewWindow.tooltip":"Buka di jendela baru","localConversation.planSummary.title":"Paket","localConversation.planSummary.titleWriting":"Rencana penulisan","localConversation.planSummary.viewPlan":"Perluas paket","localConversation.previousMessagesSummary":"{count, plural, other {# pesan sebelumnya}}","localConversation.remoteTaskCreated":"Membuat {taskLink} dalam Codex Cloud","localConversation.remoteTaskCreated.task":"tugas","localConversation.scrollToBottomButton":"Gulir ke bawah","localConversation.sync.buttonLabel":"Serahkan ke lokal","localConversation.sync.buttonLabel.tooltip":"Serahkan perubahan antara worktree ini dan checkout lokal Anda.","localConversation.sync.modal.loading.title":"Sedang menyerahkan perubahan…","localConversation.sync.modal.noChanges":"Tidak ada perubahan","localConversation.syncSetup.branchAriaLabel":"Nama cabang","localConversation.syncSetup.branchName":"Nama cabang","localConversation.syncSetup.branchPlaceholder.existing":"Pilih cabang yang ada","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Memuat cabang...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Sudah checkout","localConversation.syncSetup.checkoutClean":"Saat ini pada {branchName}","localConversation.syncSetup.checkoutDirty":"Saat ini di {branchName} dengan perubahan yang belum di-commit","localConversation.syncSetup.checkoutError":"Gagal melakukan checkout cabang: {message}","localConversation.syncSetup.checkoutLabel":"Checkout secara lokal sekarang","localConversation.syncSetup.checkoutOnLocal":"Serahkan ke lokal","localConversation.syncSetup.checkoutPending":"Memeriksa status lokal…","localConversation.syncSetup.checkoutUnavailable":"Workspace lokal tidak tersedia","localConversation.syncSetup.checkoutUnknown":"Cabang lokal tidak tersedia","localConversation.syncSetup.continue":"Lanjutkan","localConversation.syncSetup.createBranchError":"Gagal menetapkan cabang handoff: {message}","localConversation.syncSetup.error":"Ada yang tidak beres: {message}","localConversation.syncSetup.error.workingTreeMissing":"Tidak dapat membuat snapshot worktree. Silakan ulangi proses penyerahan.","localConversation.syncSetup.mode.ariaLabel":"Pilih mode cabang","localConversation.syncSetup.mode.existing":"Cabang yang ada","localConversation.syncSetup.mode.new":"Cabang baru","localConversation.syncSetup.noBranches":"Tidak ada cabang yang ditemukan","localConversation.syncSetup.overwriteError":"Cabang berhasil dibuat, tetapi belum sepenuhnya diserahkan. Lakukan penyerahan secara manual sebelum checkout secara lokal.","localConversation.syncSetup.setPrefix":"Tetapkan awalan","localConversation.syncSetup.subtitle":"Uji dan edit perubahan worktree secara lokal. <a>Pelajari selengkapnya</a>","localConversation.syncSetup.success.checkedOut":"Cabang berhasil dibuat dan sudah di-checkout secara lokal","localConversation.syncSetup.success.notCheckedOut":"Cabang berhasil dibuat","localConversation.syncSetup.title":"Serahkan ke cabang lokal","localConversation.syncWorktreeError.branchAriaLabel":"Nama cabang","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Pilih cabang tujuan, lalu coba muat ulang perubahan.","localConversation.syncWorktreeError.branchSetup.title":"Perbarui cabang","localConversation.syncWorktreeError.branchUpdate.cta":"Perbarui dan coba lagi","localConversation.syncWorktreeError.branchUpdate.error":"Gagal memperbarui cabang: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Ada yang tidak beres: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Cabang tidak diperiksa di worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Terapkan","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Anda harus checkout cabang secara lokal untuk menerapkan perubahan yang belum di-commit","localConversation.syncWorktreeV2.branches.empty":"Tidak ada cabang yang ditemukan","localConversation.syncWorktreeV2.branches.loading":"Memuat cabang...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Ganti branch tujuan handoff","localConversation.syncWorktreeV2.changeBranch.error":"Gagal mengganti branch handoff: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Gagal menerapkan","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Gagal menimpa worktree","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Gagal menimpa lokal","localConversation.syncWorktreeV2.commandError.back":"Kembali","localConversation.syncWorktreeV2.commandError.body":"Perintah Git gagal saat melakukan handoff. Tinjau keluaran lalu coba lagi.","localConversation.syncWorktreeV2.commandError.retry":"Coba lagi","localConversation.syncWorktreeV2.description":"Serahkan perubahan antara lokal dan worktree ini <a>Pelajari selengkapnya</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Pilih arah handoff","localConversation.syncWorktreeV2.error.generic":"Terjadi kesalahan saat melakukan handoff. Coba lagi.","localConversation.syncWorktreeV2.localBranchLabel":"Lokal","localConversation.syncWorktreeV2.noChanges":"Menghitung perubahan","localConversation.syncWorktreeV2.noChanges.summary":"Tidak ada perubahan","localConversation.syncWorktreeV2.overwrite.local":"Timpa lokal","localConversation.syncWorktreeV2.overwrite.worktree":"Timpa worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Tidak dapat menerapkan perubahan","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Tidak dapat menimpa perubahan lokal","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Tidak dapat menimpa perubahan worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Diterapkan","localConversation.syncWorktreeV2.partial.back":"Kembali","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Selesaikan konflik lalu coba lagi","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflik","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# file}}","localConversation.syncWorktreeV2.partial.retry":"Coba lagi","localConversation.syncWorktreeV2.partial.skippedLabel":"Dilewati","localConversation.syncWorktreeV2.stateFailed.generic":"Terjadi kesalahan saat mengambil perubahan worktree untuk diserahkan. Silakan coba lagi.","localConversation.syncWorktreeV2.stateFailed.title":"Gagal memuat perubahan worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Gagal memuat perubahan worktree.","localConversation.syncWorktreeV2.statusError.retry":"Coba lagi","localConversation.syncWorktreeV2.statusError.title":"Tidak dapat memuat perubahan cabang lokal","localConversation.syncWorktreeV2.statusError.unknown":"Status cabang saat ini tidak tersedia. Coba lagi.","localConversation.syncWorktreeV2.success.apply":"Berhasil menerapkan perubahan","localConversation.syncWorktreeV2.success.overwrite":"Handoff berhasil","localConversation.syncWorktreeV2.title":"Serahkan perubahan","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Meminta {count, plural, other {pertanyaan}}","localConversation.userInputRequest.noAnswer":"Tidak ada jawaban yang diberikan","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Ditanyakan","localConversation.userInputRequest.summary.count":"{count, plural, other {# pertanyaan}}","localConversation.workedFor":"Bekerja selama {time}","localConversation.worktreeBranchSetup.action.create":"Buat","localConversation.worktreeBranchSetup.branchAriaLabel":"Nama cabang","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Buat cabang baru","localConversation.worktreeBranchSetup.checkoutDisabled":"Cabang ini sudah di-checkout di {location}","localConversation.worktreeBranchSetup.checkoutError":"Gagal melakukan checkout cabang: {message}","localConversation.worktreeBranchSetup.createBranchError":"Gagal menetapkan cabang: {message}","localConversation.worktreeBranchSetup.error":"Ada yang tidak beres: {message}","localConversation.worktreeBranchSetup.subtitle":"Buat cabang untuk melakukan commit perubahan, push, dan membuat PR dari worktree ini. <a>Pelajari selengkapnya</a>","localConversation.worktreeBranchSetup.title":"Bekerja di sini","localConversationPage.addWorktreeToSidebar.tooltip":"Simpan sebagai proyek sehingga Anda dapat memulai utas baru dari worktree ini","localConversationPage.addWorktreeToSidebarError":"Gagal menambahkan proyek","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit dan buat PR gagal","localConversationPage.commitAndCreatePrModal.successTitle":"Berkomitmen dan membuat PR","localConversationPage.commitAndPushModal.errorTitle":"Commit dan push gagal","localConversationPage.commitAndPushModal.successTitle":"Berkomitmen dan mendorong perubahan","localConversationPage.commitCreatePr.open":"Buka pull request","localConversationPage.commitCreatePr.successTitle":"Membuat PR dengan perubahan terbaru Anda","localConversationPage.createBranchButtonLabel":"Cabang di sini","localConversationPage.createPrModal.baseBranch":"Dasar","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Buat PR","localConversationPage.createPrModal.createDescription":"Buka pull request untuk perubahan terbaru Anda.","localConversationPage.createPrModal.errorTitle":"Pull request gagal","localConversationPage.createPrModal.headBranch":"Kepala","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Buka PR","localConversationPage.createPrModal.successTitle":"Pull request dibuat","localConversationPage.createPrModal.title":"Buat pull request","localConversationPage.createPrModal.viewDescription":"Pull request sudah ada untuk cabang ini.","localConversationPage.createPrModal.viewTitle":"Pull request sudah siap","localConversationPage.createPullRequestAuthGh":"Lakukan autentikasi GitHub CLI: jalankan `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informasi cabang tidak tersedia","localConversationPage.createPullRequestButtonLabel":"Buat PR","localConversationPage.createPullRequestButtonLabel.loading":"Sedang membuat PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Informasi cabang default tidak tersedia","localConversationPage.createPullRequestError":"Gagal membuat pull request","localConversationPage.createPullRequestExistingPullRequest":"Pull request sudah ada untuk cabang ini","localConversationPage.createPullRequestGhStatusMissing":"Memuat status GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Instal GitHub CLI (gh) untuk membuat PR","localConversationPage.createPullRequestNoRepo":"Tidak ditemukan repositori git","localConversationPage.createPullRequestPushStatusMissing":"Memuat status push...","localConversationPage.createPullRequestSetUpstream":"Push cabang ini sebelum membuat PR","localConversationPage.createPullRequestSuccessToast":"Pull request dibuat","localConversationPage.createPullRequestSwitchBranch":"Checkout cabang fitur sebelum membuat PR","localConversationPage.error.render":"Kesalahan saat merender percakapan lokal","localConversationPage.error.toast":"Percakapan tidak ditemukan","localConversationPage.forcePushError":"Gagal melakukan push secara paksa","localConversationPage.generatePullRequestMessageError":"Gagal membuat judul dan isi pull request","localConversationPage.generatePullRequestMessageFailed":"Gagal membuat judul dan isi pull request.","localConversationPage.gitActionResult.branch":"Cabang","localConversationPage.gitActionResult.cancel":"Batalkan","localConversationPage.gitActionResult.close":"Tutup","localConversationPage.gitActionResult.tryAgain":"Coba lagi","localConversationPage.gitActions":"Tindakan Git","localConversationPage.newChat":"Obrolan baru","localConversationPage.openInTarget":"Buka di","localConversationPage.openPrimaryTarget":"Buka","localConversationPage.planItemsCompleted":"{completedItems} keluar dari {totalItems, plural, other {# tugas selesai}}","localConversationPage.pushAuthError":"Push gagal: autentikasi diperlukan","localConversationPage.pushBranchMissing":"Informasi cabang tidak tersedia","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Mendorong...","localConversationPage.pushError":"Gagal mendorong perubahan","localConversationPage.pushModal.branchLabel":"Cabang","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Batalkan","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Push commit terbaru Anda ke repositori jarak jauh.","localConversationPage.pushModal.errorTitle":"Push gagal","localConversationPage.pushModal.forcePush":"Push secara paksa","localConversationPage.pushModal.successTitle":"Push selesai","localConversationPage.pushModal.title":"Push perubahan","localConversationPage.pushModal.tryAgain":"Coba lagi","localConversationPage.pushNoUpstream":"Tetapkan upstream sebelum mendorong cabang ini","localConversationPage.pushNoUpstreamError":"Push gagal: tidak ada upstream yang dikonfigurasi","localConversationPage.pushNothingToPush":"Tidak ada commit baru untuk didorong","localConversationPage.pushRemoteChangedError":"Push gagal: jarak jauh memiliki commit baru","localConversationPage.pushRemoteRejectedError":"Push ditolak berdasarkan jarak jauh","localConversationPage.pushStatusMissing":"Memuat status push...","localConversationPage.pushSuccessToast":"Perubahan yang didorong","localConversationPage.viewPullRequestButtonLabel":"Lihat PR","localConversationPage.viewPullRequestButtonLabel.loading":"Memuat pull request…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# file}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# daftar}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# pencarian}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Menjelajahi","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Dijelajahi","localConversationTurn.exploration.accordion.header.complete.withCounts":"Dijelajahi {counts}","localConversationTurnStory.showContent":"Tampilkan konten","localConversationTurnStory.streamContent":"Streaming konten","localConversationTurnStory.toggleReasoning":"Tampilkan penalaran","localTaskRow.archiveError":"Gagal mengarsipkan percakapan","localTaskRow.resumeError":"Gagal melanjutkan tugas","mermaidDiagram.ariaLabel":"Diagram Mermaid","mermaidDiagram.copySource":"Salin mermaid","mermaidDiagram.originalCode":"Kode sumber Mermaid","notifications.permissions.description":"Tampilkan peringatan ketika izin notifikasi diperlukan","notifications.permissions.label":"Aktifkan notifikasi izin","notifications.turnMode.always":"Selalu","notifications.turnMode.description":"Atur kapan Codex memberi tahu Anda bahwa tugas telah selesai","notifications.turnMode.label":"Aktifkan notifikasi penyelesaian","notifications.turnMode.off":"Jangan pernah","notifications.turnMode.unfocused":"Hanya saat tidak fokus","patchApprovalRequest.approve":"Setujui","patchApprovalRequest.menu.allowAlways":"Ya dan jangan tanya lagi di sesi ini","patchApprovalRequest.menu.allowForSession":"Ya, dan jangan tanya lagi di sesi ini","patchApprovalRequest.menu.allowOnce":"Ya","patchApprovalRequest.prompt":"Anda ingin melakukan perubahan-perubahan ini?","patchApprovalRequest.reject":"Tidak","patchApprovalRequest.waitingForApproval":"Menunggu persetujuan untuk mengedit file","pendingRequest.approvalExec.collapse":"Ciutkan","pendingRequest.approvalExec.expand":"Perluas","pendingRequestStory.toastAnswer":"Jawaban: {answer}","pendingRequestStory.toastApprovalTitle":"Respons persetujuan","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Tindak lanjut sudah dikirimkan","pendingRequestStory.toastNoAnswers":"Tidak ada jawaban yang diberikan","pendingRequestStory.toastQuestion":"Pertanyaan: {question}","pendingRequestStory.toastUnknownDecision":"Tak dikenal","pendingRequestStory.toastUserInputTitle":"Jawaban yang diserahkan","quickAction.request.codeReview.branches.new":"Harap tinjau perubahan pada {from} dibandingkan dengan {to}","quickAction.request.codeReview.uncommitted.new":"Harap tinjau perubahan saya yang belum di-commit","reasoningItem.thinking":"Berpikir","reasoningItem.thought":"Selesai berpikir","reasoningItem.thoughtWithElapsed":"Berpikir selama {elapsed}","recentConversations.title":"Percakapan Terkini","recentTasks.worktreeInitFailedTitle":"Worktree init gagal","recentTasks.worktreeSettingUpTitle":"Menyiapkan worktree","requestInputPanel.continue":"Lanjutkan","requestInputPanel.dismiss":"Tutup","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Ketik di sini","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Tidak dan beri tahu Codex untuk mencoba pendekatan lain","requestInputPanel.selectedBadge":"Terpilih","requestInputPanel.skip":"Lompati","requestInputPanel.submit":"Kirim","review.commit.ariaLabel.includeUnstaged":"Sertakan yang belum di-stage","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commit...","review.commit.disabled.loadingDiff":"Memuat diff…","review.commit.disabled.missingContext":"Tambahkan beberapa konteks untuk membuat pesan commit","review.commit.disabled.noChanges":"Tidak ada perubahan pada commit","review.commit.disabled.noSelection":"Pilih perubahan pada commit","review.commit.disabled.unavailable":"Saat ini, commit tidak tersedia","review.commit.error":"Gagal melakukan commit perubahan","review.commit.form.changesToBeCommitted":"Perubahan","review.commit.form.commitTo":"Cabang","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Lanjutkan","review.commit.form.title":"Commit perubahan Anda","review.commit.generate.emptyResponse":"Tidak dapat membuat pesan commit.","review.commit.generate.failed":"Gagal membuat pesan commit: {error}","review.commit.generate.missingPrompt":"Tambahkan beberapa konteks untuk membuat pesan commit.","review.commit.includeUnstaged":"Sertakan yang belum di-stage","review.commit.loading.description":"Tunggu sebentar, ini mungkin perlu beberapa saat...","review.commit.loading.step.commit.done":"Perubahan yang sudah di-commit","review.commit.loading.step.commit.pending":"Melakukan perubahan","review.commit.loading.step.createPr.done":"Pull request dibuat","review.commit.loading.step.createPr.pending":"Membuat pull request","review.commit.loading.step.push.done":"Push ke cabang {branch}","review.commit.loading.step.push.pending":"Mendorong ke cabang {branch}","review.commit.loading.title.commit":"Melakukan perubahan","review.commit.loading.title.createPr":"Membuat PR","review.commit.loading.title.push":"Mendorong perubahan","review.commit.messageLabel":"Pesan commit","review.commit.messagePlaceholder":"Biarkan kosong untuk membuat pesan commit otomatis","review.commit.nextSteps":"Langkah selanjutnya","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit dan buat PR","review.commit.nextSteps.commitAndPush":"Commit dan push","review.commit.nextSteps.prRequiresGh":"Memerlukan GitHub CLI: {command}","review.commit.rows.changes":"Perubahan","review.commit.rows.commitCount":"{count, plural, other {# commit}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# commit}} dan {stats}","review.commit.rows.fileCount":"{count, plural, other {# file}}","review.commit.state.error.body":"Ada kesalahan saat melakukan commit. Periksa status git Anda dan coba lagi.","review.commit.state.error.title":"Commit gagal","review.commit.state.success.title":"Perubahan telah di-commit","review.commit.untracked.loadingStats":"Memuat statistik diff yang tidak terlacak…","reviewFindingAttachments.count":"{count, plural, other {# temuan}}","settings.agent.configuration.configToml":"config.toml Anda","settings.agent.configuration.configToml.description":"Edit config Anda untuk menyesuaikan perilaku agen","settings.agent.configuration.configToml.docs":"Dokumen","settings.agent.configuration.configToml.restartNote":"Mulai ulang Codex setelah mengedit untuk menerapkan perubahan","settings.agent.configuration.subtitle":"Pengaturan ini berlaku di mana pun Codex digunakan","settings.automations.banner.danger":"Otomatisasi berjalan dengan pengaturan sandbox default Anda, yang saat ini disetel ke Akses Penuh. Menjalankan otomatisasi latar belakang dengan Akses Penuh memiliki risiko lebih tinggi, karena Codex dapat memodifikasi file, menjalankan perintah, dan mengakses jaringan tanpa meminta izin. Pertimbangkan untuk memperbarui pengaturan sandbox ke tulis workspace, dan gunakan <rulesDocsLink>aturan</rulesDocsLink> untuk secara selektif menentukan perintah mana yang dapat dijalankan agen tersebut dengan akses penuh.","settings.automations.banner.defaultHowTo.default":"Otomatisasi berjalan dengan pengaturan sandbox default Anda. Pemanggilan alat akan gagal jika memerlukan perubahan file di luar workspace, akses jaringan, atau bekerja dengan aplikasi di komputer Anda. Anda dapat mengizinkan perintah tertentu dijalankan di luar sandbox secara selektif menggunakan <rulesDocsLink>aturan</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Otomatisasi berjalan dengan pengaturan sandbox default Anda, yang disetel ke hanya-baca. Pemanggilan alat akan gagal jika memerlukan perubahan file, akses jaringan, atau bekerja dengan aplikasi di komputer Anda. Pertimbangkan untuk memperbarui pengaturan sandbox ke tulis workspace.","settings.automations.cancel":"Batalkan","settings.automations.create":"Buat","settings.automations.cwdEmpty":"Tidak ada folder proyek yang tersedia","settings.automations.cwdLabel":"Proyek","settings.automations.cwdPlaceholder":"Pilih folder","settings.automations.cwdSubtitle":"Jika Anda ingin otomatisasi berjalan di cabang tertentu, Anda bisa menentukannya di prompt Anda.","settings.automations.delete":"Hapus","settings.automations.dialog.editTitle":"Edit automasi","settings.automations.dialog.newTitle":"Automasi baru","settings.automations.dialog.subtitle":"Otomatiskan tugas berulang di latar belakang. Codex menambahkan temuan ke inbox, atau otomatis mengarsipkan tugas jika tidak ada yang perlu dilaporkan. <learnMoreLink>Pelajari selengkapnya</learnMoreLink>","settings.automations.dialog.title":"Buat automasi","settings.automations.executionCopy.git":"Proyek Git berjalan di worktree latar belakang khusus.","settings.automations.executionCopy.local":"Automasi berjalan langsung di direktori proyek yang dipilih.","settings.automations.executionCopy.nonGit":"Proyek tanpa kontrol versi berjalan secara lokal karena worktree memerlukan Git.","settings.automations.executionEnvironment.ariaLabel":"Environment eksekusi","settings.automations.executionEnvironment.label":"Environment eksekusi","settings.automations.executionEnvironment.local":"Lokal","settings.automations.executionEnvironment.local.help":"Berjalan langsung di direktori proyek yang dipilih tanpa membuat worktree.","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.executionEnvironment.worktree.help":"Berjalan di worktree Git khusus yang dibuat dari proyek yang dipilih, sambil menjaga checkout Anda saat ini tetap tidak berubah.","settings.automations.loading":"Memuat…","settings.automations.nameLabel":"Nama","settings.automations.namePlaceholder":"Periksa masalah sentry","settings.automations.pause":"Jeda","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"cari crash dalam $Sentry","settings.automations.resume":"Lanjutkan","settings.automations.rruleSummaryFallback":"Jadwal kustom","settings.automations.runNow":"Tes","settings.automations.save":"Simpan","settings.automations.scheduleBadge.dayCount":"{count}h","settings.automations.scheduleBadge.interval":"{count}j","settings.automations.scheduleBadge.weekdays":"Hari kerja","settings.automations.scheduleBadge.weekends":"Akhir pekan","settings.automations.scheduleHeader":"Jadwal","settings.automations.scheduleHours":"jam","settings.automations.scheduleLabel":"Jalankan setiap","settings.automations.scheduleMode.daily":"Setiap hari","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Tipe jadwal","settings.automations.scheduleSummary.daily":"Setiap hari pukul {time}","settings.automations.scheduleSummary.interval":"Setiap {count}j","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# hari}}","settings.automations.scheduleSummary.intervalDays":"{interval} pada {days}","settings.automations.scheduleSummary.intervalHourly":"Setiap jam","settings.automations.scheduleSummary.singleDay":"{day} pukul {time}","settings.automations.scheduleSummary.weekdays":"Hari kerja pukul {time}","settings.automations.scheduleSummary.weekdaysLabel":"hari kerja","settings.automations.scheduleSummary.weekends":"Akhir pekan pukul {time}","settings.automations.scheduleSummary.weekendsLabel":"akhir pekan","settings.automations.scheduleSummary.weekly":"{days} pukul {time}","settings.automations.scheduleWeekdays":"Nyala","settings.automations.weekdayState.excluded":"Dikecualikan","settings.automations.weekdayState.included":"Disertakan","settings.conversationDetail.steps":"Langkah-langkah","settings.conversationDetail.steps.description":"Sembunyikan perintah dan keluaran","settings.conversationDetail.stepsWithCommands":"Langkah-langkah dengan perintah kode","settings.conversationDetail.stepsWithCommands.description":"Tampilkan perintah, ciutkan keluaran","settings.conversationDetail.stepsWithOutput":"Langkah-langkah dengan keluaran kode","settings.conversationDetail.stepsWithOutput.description":"Tampilkan perintah dan perluas keluaran","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Tidak ada obrolan yang diarsipkan.","settings.dataControls.archivedChats.error":"Tidak dapat memuat obrolan yang diarsipkan.","settings.dataControls.archivedChats.loading":"Memuat obrolan yang diarsipkan...","settings.dataControls.archivedChats.unarchive":"Buka arsip","settings.dataControls.archivedChats.unarchiveError":"Gagal membuka arsip obrolan","settings.dataControls.archivedChats.unarchiveSuccess":"Arsip utas telah dibuka. <viewNowLink>Lihat sekarang</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Arsip utas telah dibuka.","settings.dataControls.archivedChats.untitled":"Obrolan tidak berjudul","settings.dataControls.archivedChats.viewNow":"Lihat sekarang","settings.editRow.headerPlaceholder":"Kunci","settings.editRow.removeEntry":"Hapus entri","settings.editRow.valuePlaceholder":"Nilai","settings.general.appearance":"Penampilan","settings.general.appearance.codeFont":"Fon kode","settings.general.appearance.codeFont.description":"Sesuaikan fon dan ukuran yang digunakan untuk kode di seluruh obrolan dan diff","settings.general.appearance.codeFontFamily":"Kelompok fon kode","settings.general.appearance.codeFontSize":"Ukuran fon kode","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Buat jendela menggunakan latar belakang solid bukan tembus pandang sistem","settings.general.appearance.opaqueWindows.label":"Gunakan latar belakang jendela yang buram","settings.general.appearance.sansFontFamily":"Kelompok fon Sans","settings.general.appearance.sansFontFamily.description":"Sesuaikan fon yang digunakan untuk UI Codex","settings.general.appearance.sansFontSize":"Ukuran fon Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Tampilkan efek perayaan jendela penuh saat GPT-5.3-Codex-Spark berjalan pertama kali","settings.general.appearance.sparkCelebrationEffects.label":"Efek perayaan Spark","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Gelap","settings.general.appearance.theme.description":"Gunakan warna terang, gelap, atau sesuaikan dengan sistem Anda","settings.general.appearance.theme.light":"Terang","settings.general.appearance.theme.system":"Sistem","settings.general.appearance.usePointerCursors.description":"Ubah kursor menjadi penunjuk saat diarahkan ke elemen interaktif","settings.general.appearance.usePointerCursors.label":"Gunakan kursor penunjuk","settings.general.enterBehavior.description":"Ketika diaktifkan, prompt multibaris memerlukan {modifierSymbol} + enter untuk mengirim.","settings.general.enterBehavior.label":"Memerlukan {modifierSymbol} + enter untuk mengirim prompt panjang","settings.general.experimentalFeatures":"Fitur eksperimental (Beta)","settings.general.experimentalFeatures.empty":"Tidak ada fitur eksperimental beta yang tersedia.","settings.general.experimentalFeatures.loading":"Memuat fitur eksperimental...","settings.general.experimentalFeatures.restartNote":"Mulai ulang Codex untuk menerapkan perubahan fitur","settings.general.experimentalFeatures.toggle":"Alihkan {featureName}","settings.general.followUpQueueMode.description":"Antrekan tindak lanjut saat Codex berjalan atau arahkan penjalanan saat ini. Tekan {invertFollowUpShortcutLabel} untuk melakukan kebalikannya untuk satu pesan.","settings.general.followUpQueueMode.interrupt":"Steer","settings.general.followUpQueueMode.label":"Perilaku lanjutan","settings.general.followUpQueueMode.queue":"Antrean","settings.general.notifications":"Notifikasi","settings.general.power.preventSleepWhileRunning.description":"Pastikan komputer Anda tetap aktif saat Codex menjalankan utas.","settings.general.power.preventSleepWhileRunning.label":"Mencegah kantuk saat berlari","settings.git.branchPrefix.ariaLabel":"Awalan cabang","settings.git.branchPrefix.description":"Awalan yang digunakan ketika membuat cabang baru di Codex","settings.git.branchPrefix.label":"Awalan cabang","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Gagal menyimpan awalan cabang","settings.git.branchPrefix.save.success":"Awalan cabang disimpan","settings.git.commitInstructions.ariaLabel":"Instruksi commit","settings.git.commitInstructions.description":"Ditambahkan ke prompt pembuatan pesan commit","settings.git.commitInstructions.label":"Instruksi commit","settings.git.commitInstructions.placeholder":"Tambahkan panduan pesan commit…","settings.git.commitInstructions.save":"Simpan","settings.git.commitInstructions.save.error":"Gagal menyimpan instruksi commit","settings.git.commitInstructions.save.success":"Instruksi commit disimpan","settings.git.forcePush.ariaLabel":"Selalu push secara paksa","settings.git.forcePush.description":"Gunakan  --force-with-lease ketika mendorong dari Codex","settings.git.forcePush.label":"Selalu push secara paksa","settings.git.forcePush.save.disabled":"Selalu push secara paksa dinonaktifkan","settings.git.forcePush.save.enabled":"Selalu push secara paksa diaktifkan","settings.git.forcePush.save.error":"Gagal menyimpan pengaturan push secara paksa","settings.git.prInstructions.ariaLabel":"Instruksi pull request","settings.git.prInstructions.description":"Ditambahkan ke isi pull request yang dibuat oleh Codex","settings.git.prInstructions.label":"Instruksi pull request","settings.git.prInstructions.placeholder":"Tambahkan panduan pull request…","settings.git.prInstructions.save":"Simpan","settings.git.prInstructions.save.error":"Gagal menyimpan instruksi pull request","settings.git.prInstructions.save.success":"Instruksi pull request disimpan","settings.ide.defaultOpenTarget.description":"Lokasi default untuk membuka file dan folder","settings.ide.defaultOpenTarget.label":"Tujuan pembukaan default","settings.ide.defaultOpenTarget.placeholder":"Tidak ada target yang ditemukan","settings.ide.language.auto":"Deteksi Otomatis","settings.ide.language.autoOption":"Deteksi Otomatis","settings.ide.language.description":"Bahasa untuk UI aplikasi","settings.ide.language.label":"Bahasa","settings.ide.language.search":"Telusuri bahasa","settings.layout.actionButton":"Mulai ulang ekstensi","settings.layout.actionTitle":"Pengaturan dengan tindakan","settings.layout.fullWidthTitle":"Pengaturan (Lebar penuh)","settings.layout.title":"Pengaturan","settings.localEnvironments.actions.add":"Tambah tindakan","settings.localEnvironments.actions.add.description":"Buat perintah baru untuk dijalankan dari toolbar.","settings.localEnvironments.actions.add.save":"Simpan","settings.localEnvironments.actions.empty":"Tambah tindakan untuk menjalankan perintah dari toolbar lokal.","settings.localEnvironments.actions.icon.debug":"Debug","settings.localEnvironments.actions.icon.run":"Jalankan","settings.localEnvironments.actions.icon.test":"Tes","settings.localEnvironments.actions.icon.tool":"Alat","settings.localEnvironments.actions.item.button.delete":"Hapus","settings.localEnvironments.actions.item.command":"Skrip tindakan","settings.localEnvironments.actions.item.name":"Nama","settings.localEnvironments.actions.item.platforms":"Platform","settings.localEnvironments.actions.item.platforms.help":"Hanya berjalan pada OS tertentu.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Pemilihan platform","settings.localEnvironments.actions.item.platforms.specific":"Sesuai platform","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Hapus","settings.localEnvironments.actions.title":"Tindakan","settings.localEnvironments.breadcrumb.back":"Kembali","settings.localEnvironments.breadcrumb.edit":"edit","settings.localEnvironments.breadcrumb.root":"Environment","settings.localEnvironments.environment.actions.description":"Tindakan ini dapat menjalankan segala perintah dan akan ditampilkan pada header.","settings.localEnvironments.environment.actionsLabel":"Tindakan","settings.localEnvironments.environment.create":"Buat lingkungan lokal","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"Edit lingkungan lokal","settings.localEnvironments.environment.empty":"Belum ada lingkungan lokal yang dikonfigurasikan untuk proyek ini.","settings.localEnvironments.environment.name":"Nama","settings.localEnvironments.environment.setup":"Skrip penyiapan","settings.localEnvironments.environment.setup.description":"Skrip ini akan dijalankan saat pembuatan worktree.","settings.localEnvironments.environment.setup.hint":"Dijalankan di root proyek","settings.localEnvironments.environment.setup.platformOverrides":"Penimpaan platform","settings.localEnvironments.environment.setup.platformOverrides.add":"Tambahkan {platform} skrip penyiapan","settings.localEnvironments.environment.setup.platformOverrides.description":"Menimpa skrip default untuk OS tertentu.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Hapus","settings.localEnvironments.environment.setup.script":"Skrip","settings.localEnvironments.environment.title":"Detail lingkungan","settings.localEnvironments.file.missing":"Simpan untuk membuat file ini untuk pertama kalinya.","settings.localEnvironments.file.parseError":"Tidak dapat mem-parsing file yang ada. Penyimpanan akan menimpanya. ({error})","settings.localEnvironments.file.path":"File: {path}","settings.localEnvironments.file.readError":"Gagal memuat data lingkungan lokal. ({error})","settings.localEnvironments.file.title":"File lingkungan lokal","settings.localEnvironments.loading.body":"Mengambil konfigurasi proyek Anda.","settings.localEnvironments.loading.title":"Memuat lingkungan lokal","settings.localEnvironments.preview.devOnly":"(Hanya DEV)","settings.localEnvironments.preview.save":"Simpan","settings.localEnvironments.preview.saveError":"Gagal menyimpan file. ({error})","settings.localEnvironments.preview.title":"Pratinjau","settings.localEnvironments.save.disabled.name":"Tambahkan nama lingkungan untuk disimpan.","settings.localEnvironments.save.disabled.noChanges":"Tidak ada perubahan untuk disimpan.","settings.localEnvironments.save.disabled.saving":"Menyimpan...","settings.localEnvironments.save.success":"Lingkungan lokal disimpan","settings.localEnvironments.unavailable.body":"Kami tidak dapat memuat pengaturan lingkungan lokal untuk proyek ini.","settings.localEnvironments.unavailable.title":"Lingkungan lokal tidak tersedia","settings.localEnvironments.workspace.add":"Tambahkan proyek","settings.localEnvironments.workspace.title":"Proyek","settings.localEnvironments.workspaceSelect.addLabel":"Tambahkan lingkungan","settings.localEnvironments.workspaceSelect.description":"Lingkungan lokal memberi tahu Codex tentang cara mengatur worktree untuk proyek. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Belum ada proyek. Tambahkan proyek untuk mengonfigurasi lingkungan lokal.","settings.localEnvironments.workspaceSelect.errorLabel":"Lingkungan memerlukan perhatian","settings.localEnvironments.workspaceSelect.learnMore":"Pelajari selengkapnya","settings.localEnvironments.workspaceSelect.listLabel":"Proyek yang tersedia","settings.localEnvironments.workspaceSelect.loading":"Memuat proyek.","settings.localEnvironments.workspaceSelect.loadingLabel":"Memuat lingkungan","settings.localEnvironments.workspaceSelect.title":"Pilih proyek","settings.localEnvironments.workspaceSelect.viewAction":"Lihat","settings.mcp.addServer":"Tambahkan server","settings.mcp.app.configure":"Konfigurasi","settings.mcp.app.connect":"Hubungkan","settings.mcp.apps.refresh":"Perbarui","settings.mcp.detail.addArgument":"Tambahkan argumen","settings.mcp.detail.addEnvVar":"Tambahkan variabel environment","settings.mcp.detail.addEnvVarPassthrough":"Tambahkan variabel","settings.mcp.detail.args":"Argumen","settings.mcp.detail.back":"Kembali","settings.mcp.detail.command":"Perintah untuk meluncurkan","settings.mcp.detail.cwd":"Direktori kerja","settings.mcp.detail.docs":"Buka dokumentasi MCP","settings.mcp.detail.docs.link":"Dokumen","settings.mcp.detail.envVarPassthrough":"Penerusan variabel environment","settings.mcp.detail.envVars":"Variabel environment","settings.mcp.detail.http.addEnvHeader":"Tambahkan variabel","settings.mcp.detail.http.addHeader":"Tambahkan judul","settings.mcp.detail.http.bearerToken":"Env var token pembawa","settings.mcp.detail.http.envHeaders":"Judul dari variabel environment","settings.mcp.detail.http.headers":"Judul","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nama","settings.mcp.detail.save":"Simpan","settings.mcp.detail.switchTransportNotice":"Jika Anda ingin mengganti tipe server MCP, silakan hapus instalasi terlebih dahulu.","settings.mcp.detail.titleExisting":"Perbarui {name} MCP","settings.mcp.detail.titleNew":"Terhubung ke MCP kustom","settings.mcp.detail.transport.http":"HTTP yang dapat di-streaming","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Hapus instalan","settings.mcp.empty":"Tidak ada server MCP khusus yang terhubung","settings.mcp.myServers":"Server kustom","settings.mcp.partnerServer.description.figma":"Buat kode lebih baik dengan menggunakan konteks Figma sepenuhnya.","settings.mcp.partnerServer.description.github":"Terintegrasi dengan API GitHub untuk mengautomasi alur kerja dan mengekstrak data.","settings.mcp.partnerServer.description.linear":"Terintegrasi dengan pelacakan masalah dan manajemen proyek Linear","settings.mcp.partnerServer.description.notion":"Baca dokumen, perbarui halaman, kelola tugas","settings.mcp.partnerServer.description.playwright":"Integrasikan automasi browser untuk menerapkan desain dan menguji UI.","settings.mcp.partnerServer.install":"Instal","settings.mcp.partnerServer.installAndAuthenticate":"Instal dan autentikasi","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Kelola","settings.mcp.partnerServer.vendor":"oleh {vendor}","settings.mcp.recommendedServers":"Server yang direkomendasikan","settings.mcp.restartApp":"Mulai ulang","settings.mcp.restartExtension":"Mulai ulang ekstensi","settings.mcp.server.enable":"Aktifkan","settings.mcp.server.login":"Autentikasi","settings.mcp.server.settings":"Pengaturan","settings.multiselect.createOption":'Buat "{value}"',"settings.multiselect.removeOption":"Hapus","settings.nav.account":"Akun","settings.nav.agent":"Konfigurasi","settings.nav.ariaLabel":"Pengaturan","settings.nav.back":"Kembali ke aplikasi","settings.nav.data-controls":"Utas diarsipkan","settings.nav.environments":"Lingkungan Cloud","settings.nav.externalTooltip":"[alpha] Dibuka di browser","settings.nav.general-settings":"Umum","settings.nav.git-settings":"Git","settings.nav.local-environments":"Environment","settings.nav.mcp-settings":"Server MCP","settings.nav.notImplemented":"[alpha] Tidak tersedia di Alpha","settings.nav.personalization":"Personalisasi","settings.nav.skills-settings":"Keahlian","settings.nav.usage-analytics":"Penggunaan & Analitika","settings.nav.worktrees":"Worktree","settings.openSourceLicenses.back":"Kembali","settings.openSourceLicenses.loading":"Memuat…","settings.openSourceLicenses.missing":"Tidak ditemukan pemberitahuan pihak ketiga.","settings.openSourceLicenses.notSupported":"Tidak tersedia di hosting ini.","settings.openSourceLicenses.rowDescription":"Pemberitahuan pihak ketiga untuk dependensi yang dikemas","settings.openSourceLicenses.rowLabel":"Lisensi sumber terbuka","settings.openSourceLicenses.subtitle":"Pemberitahuan pihak ketiga untuk dependensi disertakan dalam aplikasi ini","settings.openSourceLicenses.title":"Lisensi sumber terbuka","settings.openSourceLicenses.view":"Lihat","settings.personalization.agents.description":"Edit instruksi yang menyesuaikan Codex untuk Anda. {learnMore}","settings.personalization.agents.learnMore":"Pelajari selengkapnya","settings.personalization.agents.loadError":"Tidak dapat memuat agent.md.","settings.personalization.agents.loading":"Memuat agent.md…","settings.personalization.agents.placeholder":"Tambahkan instruksi khusus Anda...","settings.personalization.agents.retry":"Coba lagi","settings.personalization.agents.save":"Simpan","settings.personalization.agents.save.error":"Tidak dapat menyimpan agent.md","settings.personalization.agents.save.success":"agent.md disimpan","settings.personalization.agents.title":"Instruksi khusus","settings.personalization.personality.description":"Pilih nada default untuk respons Codex","settings.personalization.personality.label":"Kepribadian","settings.sample.contentBody":"Gunakan tata letak ini untuk menyusun panel pengaturan Anda dengan spasi konsisten.","settings.sample.contentTitle":"Blok konten sampel","settings.section.account":"Akun","settings.section.agent":"Konfigurasi","settings.section.data-controls":"Utas diarsipkan","settings.section.environments":"Lingkungan Cloud","settings.section.external":"Buka di browser Anda selama Alpha","settings.section.general-settings":"Umum","settings.section.git-settings":"Git","settings.section.local-environments":"Environment","settings.section.mcp-settings":"Server MCP","settings.section.mcp-settings.docs":"Dokumen","settings.section.mcp-settings.subtitle":"Hubungkan alat dan sumber data eksternal.","settings.section.personalization":"Personalisasi","settings.section.skills-settings":"Keahlian","settings.section.unavailable":"Belum tersedia di Alpha","settings.section.usage-analytics":"Penggunaan & Analitika","settings.section.worktrees":"Worktree","settings.threadDetail.description":"Pilih jumlah keluaran perintah yang akan ditampilkan dalam utas","settings.threadDetail.label":"Detail utas","settings.worktrees.conversation.untitled":"Percakapan tidak berjudul","settings.worktrees.delete.error":"Gagal menghapus worktree","settings.worktrees.empty.body":"Worktree yang dibuat oleh Codex akan muncul di sini.","settings.worktrees.empty.title":"Belum ada worktree","settings.worktrees.error.body":"Ada kesalahan saat memuat worktree.","settings.worktrees.error.retry":"Coba lagi","settings.worktrees.error.title":"Tidak dapat memuat worktree","settings.worktrees.loading.body":"Mengambil detail worktree.","settings.worktrees.loading.title":"Memuat worktree","settings.worktrees.repository.loading":"Memuat metadata repositori…","settings.worktrees.repository.unknown":"Repositori tak dikenal","settings.worktrees.row.conversations":"Percakapan","settings.worktrees.row.conversations.empty":"Tidak ada percakapan ditautkan dengan worktree ini.","settings.worktrees.row.conversations.loading":"Memuat percakapan...","settings.worktrees.row.delete":"Hapus","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Tambahkan proyek baru","sidebarElectron.archiveThread":"Arsipkan utas","sidebarElectron.archiveThreadError":"Gagal mengarsipkan utas","sidebarElectron.collapseFolder":"Ciutkan folder","sidebarElectron.createStableWorktree":"Buat worktree permanen","sidebarElectron.createStableWorktree.dialog.ariaLabel":"Nama proyek","sidebarElectron.createStableWorktree.dialog.cancel":"Batalkan","sidebarElectron.createStableWorktree.dialog.create":"Buat","sidebarElectron.createStableWorktree.dialog.placeholder":"Nama proyek","sidebarElectron.createStableWorktree.dialog.subtitle":"Buat worktree git baru dari HEAD, tambahkan sebagai proyek, dan simpan hingga Anda menghapusnya.","sidebarElectron.createStableWorktree.dialog.title":"Buat worktree dan simpan sebagai proyek","sidebarElectron.createStableWorktree.error":"Gagal membuat worktree permanen: {message}","sidebarElectron.debugNavLink":"Debug","sidebarElectron.editWorkspaceRootOptionName":"Edit nama","sidebarElectron.expandFolder":"Perluas folder","sidebarElectron.groupByMenu.recency":"Daftar kronologis","sidebarElectron.groupByMenu.title":"Atur","sidebarElectron.groupByMenu.workspace":"Berdasarkan proyek","sidebarElectron.inboxRouteNavLink":"Automasi","sidebarElectron.markThreadUnread":"Tandai sebagai belum dibaca","sidebarElectron.missingWorkspaceRoot":"Folder proyek ini telah dihapus atau dipindahkan","sidebarElectron.newThread":"Utas baru","sidebarElectron.newThreadInGroup":"Mulai utas baru di {folder}","sidebarElectron.noRecentThreads":"Tidak ada utas terkini","sidebarElectron.noTasks":"Tidak ada utas","sidebarElectron.noTasks.start":"Tambahkan proyek baru","sidebarElectron.noTasksWithFilter":"Tidak ada utas yang sesuai dengan filter","sidebarElectron.pinnedThreads":"Utas yang disematkan","sidebarElectron.recentNavLink":"Utas","sidebarElectron.recentThreads":"Utas terkini","sidebarElectron.removeWorkspaceRootOption":"Hapus","sidebarElectron.renameThread":"Ganti nama utas","sidebarElectron.renameThreadDialogAriaLabel":"Judul utas","sidebarElectron.renameThreadDialogCancel":"Batalkan","sidebarElectron.renameThreadDialogPlaceholder":"Tambahkan judul…","sidebarElectron.renameThreadDialogSave":"Simpan","sidebarElectron.renameThreadDialogSubtitle":"Buat menjadi singkat dan mudah dikenali.","sidebarElectron.renameThreadDialogTitle":"Ganti nama utas","sidebarElectron.renameThreadError":"Gagal mengganti nama utas","sidebarElectron.renameWorkspaceRootOptionLabel":"Nama tampilan","sidebarElectron.showLess":"Tampilkan lebih sedikit","sidebarElectron.showMenu.all":"Semua utas","sidebarElectron.showMenu.relevant":"Relevan","sidebarElectron.showMenu.relevantHint":"Hanya tampilkan utas terkini untuk cabang, worktree, atau utas lain yang membutuhkan perhatian Anda saat ini","sidebarElectron.showMenu.title":"Tampilkan","sidebarElectron.showMenu.tooltip":"Filter, urutkan, dan atur utas","sidebarElectron.showMenu.trigger":"Filter utas sidebar","sidebarElectron.showMore":"Tampilkan lainnya","sidebarElectron.skillsAppsRouteNavLink":"Keahlian & Aplikasi","sidebarElectron.skillsRouteNavLink":"Keahlian","sidebarElectron.sortMenu.created":"Dibuat","sidebarElectron.sortMenu.title":"Sortir berdasarkan","sidebarElectron.sortMenu.updated":"Diperbarui","sidebarElectron.taskNavigation":"Folder otomatisasi","sidebarElectron.tasksInFolder":"Otomatisasi dalam {folder}","sidebarElectron.workspaceOptions":"Tindakan proyek untuk {folder}","sidebarElectron.worktreeGroupTooltip":"Ini adalah worktree git","skills.appsPage.apps.enableToggle":"Aktifkan aplikasi","skills.appsPage.apps.installOnChatGpt":"Instal di ChatGPT","skills.appsPage.apps.manageOnChatGpt":"Kelola di ChatGPT","skills.appsPage.apps.noDescription":"Tidak ada deskripsi","skills.appsPage.createSkill":"Keahlian baru","skills.appsPage.empty.apps":"Tidak ditemukan aplikasi","skills.appsPage.empty.discoverApps":"Tidak ada aplikasi untuk ditemukan","skills.appsPage.empty.installedApps":"Tidak ada aplikasi yang terinstal","skills.appsPage.empty.skills":"Belum ditemukan keahlian","skills.appsPage.heading":"Keahlian & Aplikasi","skills.appsPage.search.all":"Telusuri keahlian & aplikasi","skills.appsPage.search.all.label":"Telusuri keahlian dan aplikasi","skills.appsPage.search.apps":"Telusuri aplikasi","skills.appsPage.search.apps.label":"Telusuri aplikasi","skills.appsPage.search.skills":"Telusuri keahlian","skills.appsPage.search.skills.label":"Telusuri keahlian","skills.appsPage.section.apps":"Aplikasi","skills.appsPage.section.apps.seeAll":"Lihat {count} aplikasi semuanya","skills.appsPage.section.discover":"Temukan","skills.appsPage.section.installedApps":"Telah diinstal","skills.appsPage.section.skills":"Keahlian","skills.appsPage.section.skills.seeAll":"Lihat {count} keahlian semuanya","skills.appsPage.subheading":"Berikan Codex kekuatan super. <link>Pelajari selengkapnya</link>","skills.appsPage.tab.apps":"Aplikasi","skills.appsPage.tab.recommended":"Direkomendasikan","skills.appsPage.tab.skills":"Keahlian","skills.card.contentsError":"Tidak dapat memuat konten keahlian.","skills.card.disable":"Nonaktifkan","skills.card.disableSuccess":"Keahlian {skillName} dinonaktifkan","skills.card.disabledBadge":"Dinonaktifkan","skills.card.enable":"Aktifkan","skills.card.enableSuccess":"Keahlian {skillName}  diaktifkan","skills.card.loadingContents":"Memuat konten keahlian...","skills.card.more":"Tindakan lain","skills.card.open":"Buka","skills.card.removeFailed":"Gagal menghapus instalan keahlian","skills.card.removeSuccess":"Keahlian {skillName} dibatalkan instalasinya","skills.card.toggleEnabledError":"Gagal memperbarui keahlian","skills.card.try":"Coba","skills.card.trySkill":"Coba keahlian","skills.card.uninstall":"Hapus instalan","skills.hero.dotLabel":"Buka slide {index}","skills.hero.next":"Keahlian unggulan selanjutnya","skills.hero.trySkill":"Coba keahlian","skills.page.createSkill":"Keahlian baru","skills.page.empty":"Belum ditemukan keahlian","skills.page.filteredEmpty":"Tidak ada keahlian yang cocok dengan filter Anda","skills.page.filteredEmptyDescription":"Coba sesuaikan pencarian atau filter cakupan Anda","skills.page.heading":"Keahlian","skills.page.loading":"Memuat keahlian...","skills.page.refreshSkills":"Perbarui","skills.page.refreshSkillsToUseNew":"Perbarui untuk menggunakan keahlian baru","skills.page.search":"Cari keahlian","skills.page.search.label":"Cari keahlian","skills.page.subheading":"Berikan Codex kekuatan super. <link>Pelajari selengkapnya</link>","skills.preview.copyPrompt":"Salin prompt","skills.preview.examplePrompt":"Contoh prompt","skills.recommended.error":"Tidak dapat memuat keahlian yang direkomendasikan","skills.recommended.install":"Instal","skills.recommended.installSkill":"Instal keahlian","skills.recommended.installSuccess":"Keahlian {skillName} telah diinstal","skills.recommended.installed":"Telah diinstal","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Diinstal oleh admin","skills.scope.builtIn":"Sistem","skills.scope.personal":"Pribadi","skills.scope.repo":"Repo","skills.scope.system":"Sistem","skills.scope.team":"Tim","skills.scope.user":"Pengguna","skills.section.installed":"Telah diinstal","skills.section.recommended":"Direkomendasikan","story.slidingToggle.existing":"Yang ada","story.slidingToggle.fromLocal":"Dari lokal","story.slidingToggle.new":"Baru","story.slidingToggle.toLocal":"Ke lokal","terminal.close":"Tutup terminal","terminal.title":"Terminal","thinkingShimmer.default":"Berpikir","threadEnvIcon.cloudTooltip":"Percakapan ini sedang berjalan di Codex Cloud.","threadEnvIcon.localTooltip":"Percakapan ini sedang berlangsung secara lokal.","threadEnvIcon.worktreeTooltip":"Percakapan ini sedang berjalan di worktree git lokal.","threadHeader.archiveConfirmCancel":"Batalkan","threadHeader.archiveConfirmConfirm":"Arsipkan","threadHeader.archiveConfirmSubtitle":"Anda dapat menemukannya nanti di utas yang diarsipkan.","threadHeader.archiveConfirmTitle":"Arsipkan utas?","threadHeader.copyAppLink":"Salin deeplink","threadHeader.copySessionId":"Salin ID sesi","threadHeader.copyWorkingDirectory":"Salin direktori kerja","threadHeader.forkIntoLocal":"Fork ke lokal","threadHeader.forkIntoWorktree":"Fork ke worktree baru","threadHeader.forkPendingWorktreePrompt":"Fork percakapan ini ke worktree baru.","threadHeader.forkPendingWorktreeTitle":"Percakapan yang di-fork","threadHeader.forkThreadError":"Gagal melakukan fork pada utas","threadHeader.forkThreadRequiresGitRepo":"Fork ke worktree baru memerlukan repositori Git","threadHeader.moreActions":"Tindakan utas","threadPage.newThread":"Utas baru","threadPage.runAction.changeEnvironment":"Ubah lingkungan","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} tindakan","threadPage.runAction.environmentSelector.label":"Pilih lingkungan","threadPage.runAction.label":"Jalankan","threadPage.runAction.missing.label":"Siapkan tindakan jalankan","threadPage.runAction.setup.commandLabel":"Perintah untuk menjalankan","threadPage.runAction.setup.description":"Beri tahu Codex cara menginstal dependensi dan memulai aplikasi Anda.","threadPage.runAction.setup.editMore":"Penyiapan environment","threadPage.runAction.setup.placeholder":"misalnya: npm install npm run","threadPage.runAction.setup.submit":"Simpan dan jalankan","threadPage.runAction.setup.title":"Jalankan","threadPage.runAction.tooltip.withEnvironment":"{environmentName} tindakan","threadPage.toggleDiffPanel":"Alihkan panel diff","threadPage.toggleTerminal":"Ubah terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Buka folder","toolSummaryForCmd.exploredFiles":"<verb>Sudah mencantumkan</verb> file","toolSummaryForCmd.exploredFilesInPath":"<verb>Sudah mencantumkan</verb> file di {path}","toolSummaryForCmd.exploringFiles":"<verb>Sedang mencantumkan</verb> file","toolSummaryForCmd.exploringFilesInPath":"<verb>Sedang mencantumkan</verb> file di {path}","toolSummaryForCmd.finishedBackgroundTerminal":"Terminal latar belakang selesai","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"Terminal latar belakang selesai dengan {command}","toolSummaryForCmd.ranGenericCommand":"<status>Jalankan perintah</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Menjalankan</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Baca</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Menjalankan perintah</status>{timer}","toolSummaryForCmd.runningTimer":"untuk {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Sudah mencari</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Sudah mencari</verb> file","toolSummaryForCmd.searchedForInPath":"<verb>Sudah mencari</verb> {query} di {path}","toolSummaryForCmd.searchingFor":"<verb>Sedang mencari</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Sedang mencari</verb> file","toolSummaryForCmd.searchingForInPath":"<verb>Sedang mencari</verb> {query} di {path}","toolSummaryForCmd.startedBackgroundTerminal":"Terminal latar belakang dimulai","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"Terminal latar belakang dimulai dengan {command}","traceRecording.details.noteLabel":"Apa yang sedang Anda lakukan saat ini terjadi? (opsional)","traceRecording.details.notePlaceholder":"Menavigasi ke utas besar, lalu berganti tab berulang kali…","traceRecording.details.submit":"Kirim trace","traceRecording.details.subtitle":"Kami dapat mengirim trace profil ini untuk membantu mendiagnosis masalah performa.","traceRecording.details.title":"Kirim trace profil?","traceRecording.progress.subtitle":"Biarkan Codex tetap terbuka hingga proses ini selesai.","traceRecording.saving.title":"Menyimpan trace…","traceRecording.startDetails.cancel":"Batalkan","traceRecording.startDetails.submit":"OK, Mulai Merekam","traceRecording.startDetails.subtitle":"Setelah Anda mengklik OK, reproduksikan masalah performa, lalu klik indikator merah mengambang untuk menghentikan dan meninjau trace.","traceRecording.startDetails.title":"Cara Kerja Perekaman Trace","traceRecording.stopButton.ariaLabel":"Hentikan perekaman trace","traceRecording.upload.successToast":"Trace profil sudah dikirim.","traceRecording.uploading.title":"Memuat trace...","wham.diff.addComment":"Menambahkan komentar","wham.diff.binaryFile":"File biner tidak ditampilkan","wham.diff.noContent":"Tidak ada konten","wham.fileTag.deleted":"Dihapus","wham.fileTag.new":"Baru","wham.formattedRelativeDateTime.compactDaysAgo":"{value}h","wham.formattedRelativeDateTime.compactHoursAgo":"{value}j","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}b","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}m","wham.formattedRelativeDateTime.compactYearsAgo":"{value}t","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Mengerjakan tugas Anda","wham.whamProposedTask.title":"Tugas disarankan","wham.whamProposedTask.useSuggestion":"Gunakan saran","workspaceRootDialog.addError":"Gagal menambahkan proyek","workspaceRootDialog.cancel":"Batalkan","workspaceRootDialog.confirmAdd":"Tambahkan proyek","workspaceRootDialog.confirmPick":"Gunakan proyek","workspaceRootDialog.description":"Masukkan jalur pada {host} untuk digunakan sebagai proyek.","workspaceRootDialog.pathLabel":"Jalur proyek","workspaceRootDialog.pathPlaceholder":"/beranda/Anda/proyek","workspaceRootDialog.title.add":"Tambahkan jalur proyek","workspaceRootDialog.title.pick":"Pilih jalur proyek","worktreeInitV2.cancel":"Batalkan","worktreeInitV2.notification.failedTitle":"Penyiapan worktree gagal","worktreeInitV2.output.empty":"Menunggu keluaran...","worktreeInitV2.status.error":"Penyiapan worktree gagal.","worktreeInitV2.status.running":"Membuat worktree dan menjalankan penyiapan.","worktreeInitV2.status.runningFork":"Membuat worktree untuk mem-fork percakapan ini.","worktreeInitV2.status.success":"Worktree sudah siap.","worktreeInitV2.title":"Membuat worktree","worktreeInitV2.workLocallyInstead":"Bekerja secara lokal","worktreeRestoreBanner.body":"Worktree utas ini telah dihapus untuk menghemat ruang disk","worktreeRestoreBanner.missing.body":"Direktori kerja utas ini sudah tidak ada","worktreeRestoreBanner.missing.title":"Direktori kerja saat ini tidak ditemukan","worktreeRestoreBanner.restore.error":"Gagal memulihkan worktree: {message}","worktreeRestoreBanner.restore.success":"Worktree dipulihkan","worktreeRestoreBanner.restoreCta":"Pulihkan worktree","worktreeRestoreBanner.title":"Worktree telah dibersihkan"};Object.assign(a,globalThis.codexI18nOverrides?.["id-ID"]);export{a as default};
 //# sourceMappingURL=id-ID-CFouI3FD.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Afrita","app.sidebar.hide":"Fela hliðarstiku","app.sidebar.show":"Sýna hliðarstiku","app.sidebar.tooltip":"Sýna/fela hliðarstiku","appHeader.installUpdate":"Uppfæra","appSunset.body":"Þessi útgáfa af appinu er ekki lengur studd. Sæktu nýjustu útgáfuna <here>hér</here>.","appSunset.title":"Uppfærsla nauðsynleg","automation.updateDirective.create":"Búa til","automation.updateDirective.open":"Opna","automation.updateDirective.untitled":"Ónefnd sjálfvirkni","automation.updateDirective.update":"Uppfæra","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# tilraun} other {# tilraunir}}","cloudTaskRow.archiveError":"Ekki tókst að setja verkefni í skráasafn","code.diff.requestChange":"Biðja um breytingu","code.diffComment.cancel":"Hætta við","code.diffComment.comment":"Ummæli","code.diffComment.delete":"Eyða","code.diffComment.save":"Vista","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Engar niðurstöður voru tilkynntar.","codex.alert.closeAriaLabel":"Loka","codex.appUpsellBanner.cbpApi.message":"Byggðu hraðar með Codex-appinu. Sæktu það núna eða {learnMoreLink}.","codex.appUpsellBanner.download":"Sækja","codex.appUpsellBanner.freeGo.message":"Codex fylgir með áskriftinni þinni til 2. mars. Prófaðu Codex-appið til að byggja hraðar.","codex.appUpsellBanner.later":"Seinna","codex.appUpsellBanner.learnMoreLowercase":"nánar","codex.appUpsellBanner.new":"Nýtt","codex.appUpsellBanner.proPlusBusiness.message":"Prófaðu Codex-appið með tvöfaldri hámarkstíðni til 2. apríl. Sæktu appið núna eða {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-appið","codex.applyDropdown.header.changes":"Breytingar","codex.applyDropdown.header.fileCount":"{count, plural, one {# skrá} other {# skrár}}","codex.applyDropdown.header.rows":"línur","codex.applyDropdown.header.title":"Virkja breytingar","codex.applyDropdown.header.workspace":"Verkefni","codex.applyDropdown.results.conflicted":"{count, plural, one {1 skrá með ósamræmi:} other {{count} skrár með ósamræmi:}}","codex.applyDropdown.results.empty":"Engar skrár voru afritaðar","codex.applyDropdown.results.skipped":"{count, plural, one {1 skrá sleppt:} other {{count} skrám sleppt:}}","codex.applyOrRevertBanner.apply":"Nota","codex.applyOrRevertBanner.applyMessage":"Nota breytingar og halda áfram staðbundið?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Verkefnið var búið til í {environment}, þannig að hugsanlega geta komið upp vandamál við notkun.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Breytingar voru gerðar í {environment} þannig að mögulega eru vandamál með þær.","codex.applyOrRevertBanner.reapply":"Nota aftur","codex.applyOrRevertBanner.revert":"Afturkalla","codex.applyOrRevertBanner.revertMessage":"Afturkalla notaðar breytingar?","codex.applyResultsDialog.applied":"Notað án vandamála ({count})","codex.applyResultsDialog.close":"Loka","codex.applyResultsDialog.conflicted":"Með ósamræmi ({count})","codex.applyResultsDialog.noDetails":"Engar upplýsingar um skrá tiltækar.","codex.applyResultsDialog.skipped":"Sleppt ({count})","codex.applyResultsDialog.title":"Niðurstöður notkunar","codex.archiveInfo":"Skoða spjall í skráasafni í {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Gagnastýringar","codex.archiveInfo.electron":"Skoða spjall í skráasafni í {settingsLink}.","codex.archiveInfo.extension":"Skoðaðu spjöll í skráarsafni í .codex-möppunni þinni.","codex.archiveInfo.settingsLink":"Stillingar","codex.banner.content.description":"Keyrðu verkefni samtímis, fylgstu með framvindunni hvar sem er og farðu yfir samrunabeiðnir með gervigreind.","codex.banner.content.headline":"Codex getur allt.","codex.cloudTaskRow.archiveTask":"Setja verkefni í skráasafn","codex.cloudTaskRow.confirmArchiveTask":"Staðfesta","codex.command.feedback":"Ábending","codex.command.findInThread":"Finna","codex.command.forceReloadSkills":"Þvinga endurhlöðun hæfileika","codex.command.logOut":"Skrá út","codex.command.manageTasks":"Stjórna verkefnum","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Til baka","codex.command.navigateForward":"Áfram","codex.command.newThread":"Nýr þráður","codex.command.nextThread":"Næsti þráður","codex.command.openFolder":"Opna möppu","codex.command.openSkills":"Engir hæfileikar","codex.command.openThreadOverlay":"Sprettiþráður","codex.command.personalitySettings":"Persónuleiki","codex.command.previousThread":"Fyrri þráður","codex.command.settings":"Stillingar","codex.command.toggleDiffPanel":"Skipta um diff-borð","codex.command.toggleSidebar":"Sýna/fela hliðarstiku","codex.command.toggleTerminal":"Skipta um útstöð","codex.commandGroup.app":"App","codex.commandGroup.configure":"Stilla","codex.commandGroup.navigation":"Fletting","codex.commandGroup.panels":"Panelar","codex.commandGroup.skills":"Hæfileikar","codex.commandGroup.thread":"Þráður","codex.commandGroup.workspace":"Verkefni","codex.commandMenu.noResults":"Engar niðurstöður","codex.commandMenu.searchPlaceholder":"Leita að skipunum","codex.commandMenu.suggestedGroup":"Tillaga","codex.commandMenu.switchWorkspace":"Skipta um verkefni","codex.commandMenu.title":"Skipanavalmynd","codex.common.retry":"Reyna aftur","codex.composer.searchBranches":"Leita í greinum","codex.dialog.basic.body":"Þetta er einfalt gluggaviðmót (modal) sem notar umbúðir okkar utan um Radix Dialog.","codex.dialog.basic.cancel":"Hætta við","codex.dialog.basic.confirm":"Staðfesta","codex.dialog.basic.open":"Opna frásögn","codex.dialog.basic.title":"Dæmi um frásögn","codex.dialog.long.close":"Loka","codex.dialog.long.line":"Skrunanleg {index}sem sýnir hvernig langt efni birtist í glugganum.","codex.dialog.long.open":"Opna langa frásögn","codex.dialog.long.title":"Löng frásögn","codex.dialog.unstyled.body":"Þessi saga sýnir hvernig þeir sem hringja geta stjórnað algerlega stílbragði frásagnarefni.","codex.dialog.unstyled.open":"Opna óstílfært frásagnarefni","codex.dialog.unstyled.title":"Óstílfært efni","codex.diff.openInEditorPrompt.openButton":"Opna í ritli","codex.diff.openInEditorPrompt.singleLine":"Þessi skrá er of stór til að birta hana hér.","codex.diffView.failedToDecodeBase64Diff":"Ekki tókst að afkóða base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {# skrá breytt} other {# skrám breytt}}","codex.diffView.imagePreviewAlt":"Forskoðun myndar","codex.diffView.imagePreviewEmpty":"Engin mynd","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Engar breytingar fundust","codex.diffView.pdfPreview.nextPage":"Næsta síða","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Fyrri síða","codex.diffView.pdfPreviewEmpty":"Engin PDF-forskoðun","codex.diffView.pdfPreviewError":"Ekki tókst að birta PDF-forskoðun","codex.diffView.richPreviewDisable":"Slökkva á ítarlegri forskoðun","codex.diffView.richPreviewEnable":"Virkja ítarlega forskoðun","codex.diffView.richPreviewLoading":"Hleður forskoðun…","codex.diffView.richPreviewToggle":"Skipta um ítarlega forskoðun","codex.diffView.switchToUnified":"Skipta í sameinaðan samanburð","codex.environmentSelector.noEnvironment":"Ekkert umhverfi","codex.environments.environmentSettings":"Umhverfisstillingar","codex.environments.learnMore":"Nánar","codex.environments.listError":"Ekki tókst að hlaða umhverfi","codex.environments.noEnvironmentsFound":"Engin umhverfi fundust","codex.environments.searchError":"Ekki tókst að leita í umhverfum.","codex.errorBoundary.genericError":"Úps, villa kom upp","codex.errorBoundary.goHome":"Reyna aftur","codex.file.patch.missing":"Gat ekki búið til bót fyrir þessa skrá.","codex.gallery.automations.cwdLabel":"Verkefni","codex.gallery.automations.nameLabel":"Heiti","codex.gallery.automations.namePlaceholder":"Gera samantekt á verkefni","codex.gallery.automations.promptLabel":"Skipun","codex.gallery.automations.promptPlaceholder":"Lýstu því sem Codex á að gera","codex.gallery.dialogs.automation.label":"Sjálfvirknisfrásögn","codex.gallery.dialogs.basic.body":"Notaðu þetta útlitssnið fyrir hreinskiptar staðfestingar eða stutt eyðublöð.","codex.gallery.dialogs.basic.cancel":"Hætta við","codex.gallery.dialogs.basic.confirm":"Staðfesta","codex.gallery.dialogs.basic.label":"Grunnfrásögn","codex.gallery.dialogs.basic.title":"Dæmi um frásögn","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Lýstu vandamálinu","codex.gallery.dialogs.feedbackSubmission.bad":"Slæm niðurstaða","codex.gallery.dialogs.feedbackSubmission.bug":"Villa","codex.gallery.dialogs.feedbackSubmission.good":"Góð niðurstaða","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Hafa með skrár um núverandi Codex-lotu","codex.gallery.dialogs.feedbackSubmission.label":"Ábending send inn","codex.gallery.dialogs.feedbackSubmission.other":"Annað","codex.gallery.dialogs.feedbackSubmission.placeholder":"Lýstu vandamálinu hér","codex.gallery.dialogs.feedbackSubmission.submit":"Senda","codex.gallery.dialogs.feedbackSubmission.title":"Ábending","codex.gallery.dialogs.feedbackSuccess.body":"Ábendingu hlaðið upp. Ef vandamálið leysist ekki skaltu opna GitHub-vandamál eða nefna auðkenni þráðsins í núverandi opnu vandamáli:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Hunsa","codex.gallery.dialogs.feedbackSuccess.label":"Tókst að senda inn ábendingu","codex.gallery.dialogs.feedbackSuccess.title":"Ábendingu hlaðið upp","codex.gallery.dialogs.gitApplyResults.applied":"Notað án vandamála (2)","codex.gallery.dialogs.gitApplyResults.close":"Loka","codex.gallery.dialogs.gitApplyResults.conflicted":"Með ósamræmi (1)","codex.gallery.dialogs.gitApplyResults.label":"Niðurstöður notkunar","codex.gallery.dialogs.gitApplyResults.title":"Niðurstöður notkunar","codex.gallery.dialogs.gitPushError.body":"Afturkallaðu nýjustu breytingar eða þvingaðu birtingu ef þú veist að það er öruggt að rita yfir fjarferillinn.","codex.gallery.dialogs.gitPushError.cancel":"Hætta við","codex.gallery.dialogs.gitPushError.force":"Þvinga birtingu","codex.gallery.dialogs.gitPushError.label":"Birta villu","codex.gallery.dialogs.gitPushError.subtitle":"Greinin þín er aftan við uppruna/aðal.","codex.gallery.dialogs.gitPushError.title":"Tókst ekki að birta breytingar","codex.gallery.dialogs.gitRevert.cancel":"Hætta við","codex.gallery.dialogs.gitRevert.confirm":"Afturkalla","codex.gallery.dialogs.gitRevert.label":"Afturkalla breytingar","codex.gallery.dialogs.gitRevert.skip":"Ekki spyrja aftur","codex.gallery.dialogs.gitRevert.subtitle":"Þessi aðgerð fjarlægir allar þessar breytingar.","codex.gallery.dialogs.gitRevert.title":"Afturkalla breytingar?","codex.gallery.dialogs.longForm.label":"Frásögn í löngu sniði","codex.gallery.dialogs.proseModal.body":"Þessi stilling er notuð fyrir lengri leiðbeiningar, innleiðingu eða efnisblokkir.","codex.gallery.dialogs.proseModal.close":"Loka","codex.gallery.dialogs.proseModal.subtitle":"Deildu lengri eyðublaðaleiðsögn eða skjölum hér.","codex.gallery.dialogs.proseModal.title":"Prósaform","codex.gallery.dialogs.submitBlocked.label":"Lokað fyrir innsendingu","codex.gallery.dialogs.submitBlocked.message":"Ekki var hægt að senda skilaboðin þín þar sem verkefnið er ekki í boði.","codex.gallery.dialogs.submitBlocked.ok":"Í lagi","codex.gallery.dialogs.submitBlocked.title":"Ekki hægt að senda skilaboð.","codex.gallery.dialogs.title":"Frásagnir","codex.gallery.dropdown.filterPlaceholder":"Síuatriði","codex.gallery.dropdowns.actionRow":"Aðgerðarraðir","codex.gallery.dropdowns.actionRow.disabled":"Aðgerðir sem slökkt hefur verið á","codex.gallery.dropdowns.actionRow.primary":"Aðalaðgerð","codex.gallery.dropdowns.actionRow.secondary":"Aukaaðgerð","codex.gallery.dropdowns.actionRow.trigger":"Sýna aðgerðir","codex.gallery.dropdowns.basic":"Einfaldur fellilisti","codex.gallery.dropdowns.basic.newFile":"Ný skrá","codex.gallery.dropdowns.basic.newFolder":"Ný mappa","codex.gallery.dropdowns.basic.openSettings":"Opna stillingar","codex.gallery.dropdowns.basic.title":"Flýtiaðgerðir","codex.gallery.dropdowns.basic.trigger":"Opna valmynd","codex.gallery.dropdowns.basic.upload":"Hlaða upp","codex.gallery.dropdowns.panel":"Yfirborð stjórnarborðs","codex.gallery.dropdowns.panel.apply":"Nota","codex.gallery.dropdowns.panel.body":"Farðu yfir diff og virkjaðu þau fyrir verkefnið þitt.","codex.gallery.dropdowns.panel.preview":"Forskoða","codex.gallery.dropdowns.panel.title":"Virkja breytingar","codex.gallery.dropdowns.panel.trigger":"Opna stjórnarborð","codex.gallery.dropdowns.search":"Fellivalmynd sem hægt er að leita í","codex.gallery.dropdowns.search.first":"Alpha-rás","codex.gallery.dropdowns.search.second":"Beta-grein","codex.gallery.dropdowns.search.third":"Gefa út umsækjanda","codex.gallery.dropdowns.search.trigger":"Síuatriði","codex.gallery.dropdowns.submenu":"Fellivalmynd með undirvalmynd","codex.gallery.dropdowns.submenu.optionA":"Alpha verkefni","codex.gallery.dropdowns.submenu.optionB":"Beta verkefni","codex.gallery.dropdowns.submenu.optionC":"Gamma verkefni","codex.gallery.dropdowns.submenu.primary":"Úthluta eiganda","codex.gallery.dropdowns.submenu.secondary":"Færa í","codex.gallery.dropdowns.submenu.tertiary":"Setja í skráasafn","codex.gallery.dropdowns.submenu.trigger":"Veldu aðgerð","codex.gallery.dropdowns.title":"Fellivalmyndir","codex.gallery.inbox.automations.close":"Loka","codex.gallery.inbox.automations.popover.cardTitle":"Umsjón með sjálfvirkni","codex.gallery.inbox.automations.popover.dialogTitle":"Umsjón með sjálfvirkni","codex.header.settingsTooltip":"Stillingar","codex.hunk.patch.error":"Ekki tókst að sviðsetja","codex.hunk.patch.missing":"Gat ekki búið til bót fyrir þetta stykki.","codex.hunk.patch.partialSuccess":"Tókst að hluta til","codex.hunk.patch.revertError":"Tókst ekki að taka af sviði","codex.hunk.patch.revertSuccess":"Tókst að taka af sviði","codex.hunk.patch.success":"Tókst að sviðsetja","codex.legal.autonomy.details":"Frekari upplýsingar má finna í {link}","codex.legal.autonomy.details.link":"Codex-skjöl","codex.legal.autonomy.title":"Ákveddu hversu mikla sjálfvirkni þú vilt gefa","codex.legal.backButton":"Til baka","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt.","codex.legal.cloud.taskOne.title":"Útskýra gagnahirslu fyrir nýjum hönnuði","codex.legal.cloud.taskThree.meta":"openai/codex · 8. okt.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Búa til dökkt þema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Laga vandamál með kynningu","codex.legal.continue.apikey":"Halda áfram","codex.legal.continueButton":"Áfram","codex.legal.copilot.details":"Notar Copilot-áskriftina þína fyrir alla notkun á líkönum, innheimtu og kostnaðarhámörkum. Notkun á Codex-viðbótinni heyrir undir bæði {oaiTos} og {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"þjónustuskilmála GitHub","codex.legal.copilot.oaiTosLink":"þjónustuskilmála OpenAI Codex","codex.legal.copilot.title":"Knúið af GitHub Copilot","codex.legal.mistakes.review":"Farðu yfir kóðann sem það skrifar og hvaða skipanir það keyrir","codex.legal.mistakes.title":"Codex getur gert mistök","codex.legal.powered.details":"Notar hámark áskriftarinnar þinnar og {link}","codex.legal.powered.details.link":"kjörstillingar fyrir þjálfunargögn","codex.legal.powered.title":"Knúið af ChatGPT-reikningnum þínum","codex.legal.step.cloud.subtitle":"Sendu verkefni til Codex til að keyra í bakgrunninum svo þú getir haldið einbeitingunni og unnið hraðar.","codex.legal.step.cloud.title":"Afhenda Codex í skýinu","codex.legal.step.intro.subtitle":"Codex skoðar, breytir, keyrir skipanir og framkvæmir próf beint í gagnahirslunni þinni. Knúið af ChatGPT-reikningnum þínum.","codex.legal.step.intro.title":"Codex í þínu IDE","codex.legal.step.todo.subtitle":"Skrifaðu TODO-athugasemd og breyttu henni í Codex-verkefni með einum smelli.","codex.legal.step.todo.title":"Breyttu TODO í Codex-verkefni","codex.legal.todo.heading":"// TODO: framkvæma skema","codex.localConversation.closeImagePreview":"Loka forskoðun myndar","codex.localConversation.userImageAttachment":"Viðhengi notanda","codex.localTaskRow.archiveTask":"Setja þráð í skráarsafn","codex.localTaskRow.awaitingApproval":"Bíður eftir samþykki","codex.localTaskRow.awaitingResponse":"Bíður svara","codex.localTaskRow.confirmArchiveTask":"Staðfesta","codex.loggedOut.apiKeyPrompt.cancel":"Hætta við","codex.loggedOut.apiKeyPrompt.confirm":"Í lagi","codex.loggedOut.apiKeyPrompt.getKey":"Fá Api-lykill","codex.loggedOut.apiKeyPrompt.inputLabel":"Sláðu inn OpenAI API-lykillinn þinn","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Slökkt á verkefnum í skýi með API-lykli","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Slökkt á verkefnum í skýi með Copilot og API-lykli","codex.loggedOut.signIn":"Skráðu þig inn með ChatGPT","codex.loggedOut.signIn.cancel":"Hætta við að skrá inn","codex.loggedOut.signInWithCopilot":"Skráðu þig inn með GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Nota Api-lykil","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} verkfæri","codex.mcpTool.collapsedLabel.verb.called":"Sótt","codex.mcpTool.collapsedLabel.verb.calling":"Sækir","codex.mcpTool.embeddedResource.contentLabel":"Innihald","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-gerð","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Verkfæri skilaði engu efni","codex.mcpTool.rawPayloadHeading":"Óunnin {server}.{tool} gögn úr tóli","codex.menu.recent":"Nýlegt","codex.menu.seeAllHistory":"Sjá allan feril","codex.modelCapacityBanner.headline.noReset":"{modelName} er fullt eins og er. Reyndu aftur seinna eða byrjaðu nýtt samtal við annað líkan.","codex.modelCapacityBanner.headline.withReset":"{modelName} er fullt eins og er. Reyndu aftur eftir {resetDate} eða byrjaðu nýtt samtal við annað líkan.","codex.modelCapacityBanner.title":"Valið líkan er fullt","codex.patch.change.contentsDeleted":"Innihaldi eytt","codex.patch.change.created":"Búið til","codex.patch.change.created-file":"Skrá búin til","codex.patch.change.creating":"Býr til","codex.patch.change.deleted":"Eytt","codex.patch.change.deleted-file":"Skrá eytt","codex.patch.change.deleting":"Eyðir...","codex.patch.change.edited":"Breytti","codex.patch.change.edited-file":"Breytt skrá","codex.patch.change.editing":"Breytir","codex.patch.change.noChanges":"Engar breytingar","codex.patch.change.rejected-add":"Hafnað","codex.patch.change.rejected-delete":"Hafnað","codex.patch.change.rejected-edit":"Hafnað","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} af {total} verkefnum lokið","codex.plan.todoListCreated":"Verkefnalisti búinn til með {total} verkefni","codex.profileDropdown.apiKeyAuth":"Innskráning með API-lykli","codex.profileDropdown.codexSettings":"Codex-stillingar","codex.profileDropdown.copilotAuth":"Innskráning með Copilot","codex.profileDropdown.defaultAccountTitle":"Sjálfgefinn reikningur","codex.profileDropdown.enterBehavior":"{modifierSymbol} + færsluhnappur til að senda langar kvaðningar","codex.profileDropdown.enterBehaviorError":"Ekki tókst að uppfæra stillingu","codex.profileDropdown.getPlus":"Uppfærðu til að fá hærri takmörk","codex.profileDropdown.keyboardShortcuts":"Flýtilyklar","codex.profileDropdown.language":"Tungumál","codex.profileDropdown.languageDefault":"Greina sjálfkrafa","codex.profileDropdown.languageSearchPlaceholder":"Leitartungumál","codex.profileDropdown.languageUpdateError":"Tókst ekki að uppfæra tungumál","codex.profileDropdown.logOut":"Skrá út","codex.profileDropdown.mcp":"MCP-stillingar","codex.profileDropdown.openConfigToml":"Opna config.toml","codex.profileDropdown.openConfigToml.wsl":"Opna config.toml í WSL-umhverfi","codex.profileDropdown.openExtensionSettings":"Opna stillingar","codex.profileDropdown.openMcpSettings":"Opna MCP-stillingar","codex.profileDropdown.openOnStartup":"Opna við ræsingu","codex.profileDropdown.openOnStartupError":"Ekki tókst að uppfæra stillingu","codex.profileDropdown.openSkillsSettings":"Opna stillingar hæfileika","codex.profileDropdown.personalAccountTitle":"Einkareikningur","codex.profileDropdown.queueFollowUps":"Setja eftirfylgni í biðröð","codex.profileDropdown.queueFollowUpsError":"Ekki tókst að uppfæra stillingu","codex.profileDropdown.readDocs":"Lesa skjöl","codex.profileDropdown.readSkillsDocs":"Lesa skjöl","codex.profileDropdown.runInWsl":"Keyra í WSL","codex.profileDropdown.runInWslError":"Ekki tókst að uppfæra stillingu","codex.profileDropdown.runInWslTooltip":"Keyrir Codex inni í WSL. Ráðlagt fyrir aukið öryggi í sandkassa og betri afköst.","codex.profileDropdown.settings":"IDE-stillingar","codex.profileDropdown.settingsPage":"Stillingar","codex.profileDropdown.signInWithOpenAI":"Skráðu þig inn með ChatGPT","codex.profileDropdown.skills":"Stillingar hæfileika","codex.profileDropdown.switchToCopilotAccount":"Nota Copilot-reikning","codex.profileDropdown.switchToOpenAIAccount":"Nota OpenAI-reikning","codex.profileDropdown.todoCodelens":"Laga TODO-athugasemdir","codex.profileDropdown.todoCodelensError":"Ekki tókst að uppfæra stillingu","codex.profileDropdown.windowsDocumentation":"Windows skjalfesting","codex.profileFooter.signedInFallback":"Stillingar","codex.profileFooter.upgrade":"Uppfæra","codex.recentTasksMenu.clearSearch":"Hreinsa leit","codex.recentTasksMenu.cloud":"Skýjaverkefni","codex.recentTasksMenu.count":"{count, plural, =0 {Engin verkefni í vinnslu} one {# verkefni í vinnslu} other {# verkefni í vinnslu}}","codex.recentTasksMenu.empty":"Engir þræðir enn sem komið er","codex.recentTasksMenu.errorCloud":"Ekki tókst að hlaða verkefni.","codex.recentTasksMenu.errorCloud.inline":"Ekki tókst að hlaða skýjaverkefni.","codex.recentTasksMenu.filterAll":"Allt","codex.recentTasksMenu.filterCloudTasks":"Sía skýjaverkefni","codex.recentTasksMenu.filterTooltip":"Sía verkefni eftir umhverfi","codex.recentTasksMenu.local":"Staðbundin verkefni","codex.recentTasksMenu.recent":"Öll verkefni","codex.recentTasksMenu.search":"Leita í nýlegum verkefnum","codex.recentTasksMenu.searchEmpty":"Engin niðurstaða","codex.recentTasksMenu.tooltip":"Verkefnaferill","codex.recentTasksMenu.trigger":"Nýleg verkefni. {count, plural, one {# í vinnslu} other {# í vinnslu}}","codex.remoteConversation.applyDiff.applyCta":"Virkja breytingar","codex.remoteConversation.applyDiff.dropdownTitle":"Virkja breytingar á staðbundna grein","codex.remoteConversation.applyDiff.revertCta":"Afturkalla breytingar","codex.remoteConversation.closeImagePreview":"Loka forskoðun myndar","codex.remoteConversation.codexCloudTask":"Þú ert að skoða verkefni í <u>Codex-skýi</u>","codex.remoteConversation.errorWithMessage":"Villa: {message}","codex.remoteConversation.loadingImage":"Hleður mynd","codex.remoteConversation.openInWeb":"Opna á vefnum","codex.remoteConversation.streaming":"Hafist handa","codex.remoteConversation.turnFailed":"Villa kom upp í þessu verkefni","codex.remoteConversation.turnTab.loading":"Tilraun {number}","codex.remoteConversation.turnTab.title":"Tilraun {number}","codex.remoteConversation.userImageAttachment":"Viðhengi notanda","codex.remoteConversation.viewPreviousTurns":"Opna á vefnum","codex.remoteConversation.viewPreviousTurns.buttonText":"Opna","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Opna á vefnum","codex.review.copyGitApplyCommand":"Afrita skipun um notkun í git","codex.review.copyGitApplyCommand.toast":"Skipun um notkun í git afrituð á klippiborð","codex.review.diffTooLarge.description":"Þetta diff er of stórt til að birta í yfirferð.","codex.review.diffTooLarge.title":"Þetta diff er of stórt til að birta","codex.review.expandOrCollapseDiffButton.collapse":"Draga saman allar breytingar","codex.review.expandOrCollapseDiffButton.expand":"Stækka allar breytingar","codex.review.expandOrCollapseDiffMenu.collapse":"Draga saman allar breytingar","codex.review.expandOrCollapseDiffMenu.expand":"Stækka allar breytingar","codex.review.fileSearch.clear":"Hreinsa skráarsíu","codex.review.fileSearch.empty":"Engin skjöl passa við núverandi síu.","codex.review.fileSearch.label":"Sía skjöl","codex.review.fileSearch.placeholder":"Sía skjöl…","codex.review.filesChanged":"{num, plural, =0 {Engum skrám breytt} one {# skrá breytt} other {# skrám breytt}}","codex.review.find.loadMore":"Hlaða fleiri samsvörunum","codex.review.fullReview.hideFileTree":"Fela skrámöppu­yfirlit","codex.review.fullReview.showFileTree":"Sýna skráartré","codex.review.header.moreOptions":"Fara yfir valkosti","codex.review.largeDiff.banner":"Stórt diff greint – sýnir eina skrá í einu.","codex.review.loadFullFiles.disable":"Ekki hlaða fullum skrám","codex.review.loadFullFiles.enable":"Hlaða fullum skrám","codex.review.noDiff":"Breytingar á skrá munu birtast hér","codex.review.noDiff.gitInit.createRepository":"Búa til git-gagnahirslu","codex.review.noDiff.gitInit.creating":"Býr til…","codex.review.noDiff.gitInit.error":"Git-ræsing tókst ekki: {message}","codex.review.noDiff.gitInit.success":"Git-gagnahirsla búin til","codex.review.noDiff.gitRepoRequired.description":"Fylgstu með og afturkallaðu breytingar í þessu verkefni","codex.review.noDiff.gitRepoRequired.title":"Búa til Git-gagnahirslu","codex.review.noDiff.orNoLongerAvailable":"eða skoða nýjustu breytingar sem eru ekki lengur aðgengilegar","codex.review.noDiff.reverted":"Síðasta umferð var afturkölluð","codex.review.noDiff.revertedOrCommitted":"Síðasta umferð hefur annaðhvort verið afturkölluð eða staðfest","codex.review.refreshGitQueries":"Endurnýja","codex.review.revert.file.error":"Ekki tókst að afturkalla {path}","codex.review.revert.file.partialSuccess":"{path} að hluta til afturkallað","codex.review.revert.file.success":"{path} afturkallað","codex.review.revert.hunk.error":"Ekki tókst að afturkalla stykki {hunkNumber} í {path}","codex.review.revert.hunk.partialSuccess":"Stykki {hunkNumber} að hluta til afturkallað í {path}","codex.review.revert.hunk.success":"Afturkallað stykki {hunkNumber} í {path}","codex.review.revert.section.error":"Ekki tókst að afturkalla kafla","codex.review.revert.section.partialSuccess":"Kafla að hluta til afturkallað","codex.review.revert.section.success":"Kafli afturkallaður","codex.review.revertDialog.cancel":"Hætta við","codex.review.revertDialog.confirm":"Staðfesta","codex.review.revertDialog.message":"Þessi aðgerð fjarlægir allar þessar breytingar.","codex.review.revertDialog.skip":"Ekki spyrja aftur","codex.review.revertDialog.title":"Afturkalla breytingar?","codex.review.richPreview.disable":"Slökkva á ítarlegri forskoðun","codex.review.richPreview.enable":"Virkja ítarlega forskoðun","codex.review.source.cloud":"Breytingar á skýji","codex.review.source.local.all":"Allar breytingar á greinum","codex.review.source.local.lastTurn":"Nýjustu breytingar á lotu","codex.review.source.local.uncommitted":"Óstaðfestar breytingar","codex.review.source.worktree":"Óstaðfestar breytingar í verktré","codex.review.stageFilter.empty.staged.description":"Samþykktu breytingar til að setja þær á svið","codex.review.stageFilter.empty.staged.title":"Engar breytingar settar á svið","codex.review.stageFilter.empty.unstaged.description":"Breytingar á kóða munu birtast hér","codex.review.stageFilter.empty.unstaged.title":"Engar ósviðsettar breytingar","codex.review.stageFilter.staged":"Sviðsett","codex.review.stageFilter.staged.count":"Sviðsett · {count}","codex.review.stageFilter.unstaged":"Tekið af sviði","codex.review.stageFilter.unstaged.count":"Tekið af sviði · {count}","codex.review.switchToSplit":"Skipta yfir í skipt diff","codex.review.switchToUnified":"Skipta í sameinaðan samanburð","codex.review.toggleDiffView":"Skipta um diff-sýn","codex.review.wordDiffs.disable":"Slökkva á orðadiffum","codex.review.wordDiffs.enable":"Virkja orðadiff","codex.review.wrap.disable":"Slökkva á orðapakkningu","codex.review.wrap.enable":"Kveikja á orðapakkningu","codex.section.patch.missing":"Gat ekki búið til bót fyrir þennan kafla.","codex.shell.collapse":"Draga saman útstöð","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Innihald útstöðvar afritað","codex.shell.copy.copyTooltip":"Afrita innihald útstöðvar","codex.shell.copyCommand":"Afrita skipun","codex.shell.copyOutput":"Afrita úttak","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Stækka útstöð","codex.shell.name":"Útstöð","codex.shell.noOutput":"Ekkert frálag","codex.signInFailed.message":"Innskráning mistókst: {rawMessage}","codex.stories.toast.show":"Sýna tilkynningu","codex.stories.tooltip.basic":"Þetta er ábending","codex.stories.tooltip.hoverMe":"Haltu bendlinum yfir mér","codex.stories.tooltip.largerOffset":"Þessi ábending er með stærri hliðrun","codex.stories.tooltip.offsetButton":"Stærri hliðrun","codex.stories.tooltip.shortcutButton":"Bæta flýtileið við","codex.stories.tooltip.withShortcut":"Skipta um útstöð","codex.taskRow.title":"Nýr þráður","codex.taskRowLayout.confirm":"Staðfesta","codex.threadFindBar.chatFilter":"Leita í spjalli","codex.threadFindBar.close":"Loka leit","codex.threadFindBar.diffFilter":"Leita í diffum","codex.threadFindBar.label":"Finna í þræði","codex.threadFindBar.nextResult":"Næsta niðurstaða","codex.threadFindBar.noResults":"Engar niðurstöður","codex.threadFindBar.placeholder":"Leita í þræði…","codex.threadFindBar.placeholder.extension":"Leita í þræði…","codex.threadFindBar.placeholder.review":"Leita í diffum…","codex.threadFindBar.placeholder.review.extension":"Leita í diffum…","codex.threadFindBar.previousResult":"Fyrri niðurstaða","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# skrá breytt} other {# skrám breytt}}","codex.unifiedDiff.inlineLargeFile":"Of stórt til að framkalla innfellt","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Afturkalla","codex.unifiedDiff.revertPatchError":"Ekki tókst að afturkalla breytingar","codex.unifiedDiff.revertPatchSuccess":"Breytingar afturkallaðar","codex.unifiedDiff.reviewChangesSuffix":"breytingar","codex.unifiedDiff.reviewShort":"Fara yfir","codex.unifiedDiff.viewDiffTooltip":"Fara yfir","codex.upsellBanner.business.headline":"Til að fá meiri aðgang núna skaltu senda beiðni til stjórnanda þíns eða bíða þangað til {resetDate}.","codex.upsellBanner.cbp.headline":"Sendu beiðni til stjórnandans þíns til að fá meiri aðgang núna.","codex.upsellBanner.cta.addCredits":"Bæta við inneign","codex.upsellBanner.cta.upgradeAccount":"Uppfæra","codex.upsellBanner.cta.viewUsage":"Skoða notkun","codex.upsellBanner.freeOrGo.headline":"Hámarkstíðnin þín endurstillist þann {resetDate}. Til að halda áfram að nota Codex skaltu uppfæra í Plus í dag.","codex.upsellBanner.general.headline":"Hámarkstíðnin þín endurstillist {resetDate}.","codex.upsellBanner.general.title":"Þú ert ekki með fleiri Codex-skilaboð","codex.upsellBanner.plus.headline":"Hámarkstíðnin þín endurstillist {resetDate}. Til að halda áfram að nota Codex skaltu bæta við inneign eða uppfæra í Pro í dag.","codex.upsellBanner.pro.headline":"Hámarkstíðnin þín endurstillist {resetDate}. Bættu við inneign núna til að halda áfram að nota Codex.","codex.userMessage.autoResolveSync":"Leysa sjálfkrafa úr ósamræmi","codex.userMessage.commentCount":"{count, plural, one {# ummæli} other {# ummæli}}","codex.userMessage.copiedAriaLabel":"Afritað","codex.userMessage.copiedTooltip":"Afritað","codex.userMessage.copyAriaLabel":"Afrita skilaboð","codex.userMessage.copyTooltip":"Afrita","codex.userMessage.implementPlan":"Innleiðingaráætlun","codex.userMessage.noContent":"(Ekkert innihald)","codex.userMessage.priorConversation":"Vísar í fyrra samtal","codex.userMessage.reviewMode":"Yfirferðarstilling","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"fyrir {query}","codex.webSearch.summary.verb.completed":"Leitaði á vefnum","codex.webSearch.summary.verb.inProgress":"Leitar á vefnum","codex.windowsInstallWslBanner.dismiss":"Hunsa","codex.windowsInstallWslBanner.installWslCta":"Kveikja á sandkassa","codex.windowsInstallWslBanner.learnMore":"Nánar","codex.windowsSandboxBanner.content":"Fulltrúastilling notar tilraunasandkassa í Windows til að takmarka aðgang að skráarkerfi og neti. {sandboxLink}","codex.windowsSandboxBanner.title":"Kveikja á sandkassa fyrir fulltrúastillingu","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-stillingar","codexUpgradeModal.body":"Codex er nú knúið af GPT‑5.2‑Codex, okkar nýjasta og öflugasta forritunarlíkani. Við kóðun er það {link}; með frekari bótum á GPT-5.2","codexUpgradeModal.close":"Loka","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"greindara og hraðara","codexUpgradeModal.title":"Codex var að fá uppfærslu","codexUpgradeModal.tryNewModel":"Prófaðu GPT-5.2-Codex núna","codexUpgradeModal.useExistingModel":"Halda áfram með núverandi líkani","commentAttachments.numComments":"{count, plural, one {# ummæli} other {# ummæli}}","commentAttachments.removeAriaLabel":"Fjarlægja viðhengi við ummæli","common.close":"Loka","composer.addContext.openFilePickerError":"Gat ekki opnað skráarval","composer.addContextDropdown.ariaLabel":"Bæta við skrám og fleira","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Bæta við skrám og fleira","composer.addPhotosAndFiles":"Bæta myndum og skrám við","composer.atMentionList.emptyQuery":"Skrifaðu til að leita að skrám","composer.atMentionList.loading":"Leitar...","composer.atMentionList.noResults":"Engar niðurstöður","composer.attemptsSelector.option":"{count, plural, one {# útgáfa} other {# útgáfur}}","composer.attemptsSelector.tooltip":"Fjöldi samhliða tilrauna sem Codex á að gera","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Stoppa","composer.cloudFollowUp.cloud":"Ský","composer.cloudFollowUp.local":"Staðbundið","composer.cloudFollowUp.whereRun":"Hvar á að keyra þessa eftirfylgni","composer.cloudTaskCreationError":"Villa við að búa til skýjaverkefni","composer.cloudTaskError":"Villa við að búa til verkefni","composer.contextWindow.autoCompactionTooltipLine1":"Codex samanþjappar samhengi sínu sjálfkrafa","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Samhengisgluggi:","composer.contextWindowUsageStatusFull":"{usage}% fullt","composer.contextWindowUsageStatusLeft":"{usage}% notaði ({remaining}% eftir)","composer.contextWindowUsageTooltip":"{usedTokens} þús. / {contextWindow} þús. tákn notuð","composer.customCliTooltip":"Að nota sérsniðna CLI-keyranlega skrá","composer.dictation.aria":"Lesa upp","composer.dictation.cancel.aria":"Stöðva upplestur","composer.dictation.cancel.tooltip":"Stöðva upplestur","composer.dictation.startError":"Gat ekki ræst upplestur","composer.dictation.submit.aria":"Umrita og senda inn","composer.dictation.submit.tooltip":"Umrita og senda inn","composer.dictation.tooltip":"Haltu inni til að taltúlka","composer.dictation.transcribeError":"Gat ekki umskrifað hljóð","composer.dictation.unsupported":"Upplestur er ekki í boði á þessu tæki","composer.dropOverlay.holdShift":"Haltu {key} til að sleppa","composer.dropOverlay.shiftKey":"Hástafalykill","composer.environmentSelector.createNew":"Búa til nýja","composer.environmentSelector.error":"Villa við að hlaða umhverfi","composer.environmentSelector.goBack":"Aftur í ritil","composer.environmentSelector.title":"Velja umhverfi","composer.environmentSelector.tooltip":"Veldu skýjaumhverfi","composer.feedbackSlashCommand.title":"Ábending","composer.filePicker.selectFile":"Velja skrá","composer.filePicker.selectFiles":"Velja skrá","composer.followerTooltip":"Snúðu aftur í gluggan þar sem þetta samtal hófst til að halda áfram.","composer.footer.branchSwitch.checkoutError":"Tókst ekki að skipta um grein: {message}","composer.footer.branchSwitch.createAndCheckout":"Búa til og afgreiða nýja grein…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Birtu breytingar til að búa til og afgreiða nýja grein","composer.footer.branchSwitch.createBranchError":"Tókst ekki að búa til grein: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Heiti greinar","composer.footer.branchSwitch.createDialog.branchExistsError":"Grein er þegar til.","composer.footer.branchSwitch.createDialog.close":"Loka","composer.footer.branchSwitch.createDialog.createAndCheckout":"Búa til og afgreiða","composer.footer.branchSwitch.createDialog.placeholder":"ný-grein","composer.footer.branchSwitch.createDialog.title":"Búa til og afgreiða grein","composer.footer.branchSwitch.createDialog.trailingSlashError":"Nafn greinar má ekki enda á „/“.","composer.footer.branchSwitch.tooltip":"Skipta um grein","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Birtu breytingar á {fileCount, plural, one {# skrá} other {# skrár}} til að afgreiða {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Staðfesta","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"breytingar á {fileCount, plural, one {# skrá} other {# skrár}} til að skoða {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Hætta við","composer.footer.branchSwitch.uncommittedDialog.commit":"Birta og skipta um grein…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Ritað yrði yfir breytingar þínar á eftirfarandi skrám við útritun:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Birtu breytingarnar þínar til að halda áfram","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"valda greinin","composer.footer.branchSwitch.uncommittedDialog.title":"Birtu breytingar til að skipta um grein","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Ófrágengið: {fileCount, plural, one {# skrá} other {# skrár}}","composer.forkSlashCommand.description":"Gaffla þessum þræði í staðbundið eða nýtt verktré","composer.forkSlashCommand.option.local.description":"Halda áfram í nýjum staðbundnum þræði","composer.forkSlashCommand.option.local.title":"Gaffla í staðbundið","composer.forkSlashCommand.option.worktree.description":"Halda áfram í nýtt verktré","composer.forkSlashCommand.option.worktree.title":"Gaffla í nýtt verktré","composer.forkSlashCommand.title":"Greina niður","composer.imageInputsUnsupported":"Þetta líkan styður ekki inntak mynda. Prófaðu annað líkan.","composer.imageUploadFailed":"Ekki tókst að hlaða upp mynd","composer.includeIdeContextDropdown":"Láta IDE-samhengi fylgja","composer.includeIdeContextDropdown.ariaLabel":"Láta IDE-samhengi fylgja","composer.localCwdDropdown.addWorkspaceRoot":"Bæta við nýju verkefni","composer.localCwdDropdown.noActiveRoot":"Veldu verkefnið þitt","composer.localCwdDropdown.noResults":"Engar möppur fundust","composer.localCwdDropdown.title":"Veldu verkefnið þitt","composer.localTaskError":"Villa við að hefja samtal","composer.mcpSlashCommand.description":"Sýna stöðu MCP-netþjóns","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Ekki staðfest","composer.mcpStatus.authOauth":"Staðfest (OAuth)","composer.mcpStatus.authToken":"Staðfest (API-lykill)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Loka","composer.mcpStatus.disabled":"Slökkt","composer.mcpStatus.emptyLabel":"Netþjónar:","composer.mcpStatus.emptyValue":"Engir MCP-netþjónar stilltir","composer.mcpStatus.enabled":"Kveikt","composer.mcpStatus.errorLabel":"Staða:","composer.mcpStatus.errorValue":"Tókst ekki að hlaða stöðu MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Fulltrúi","composer.mode.agentMode.auto.dropdownLabel":"Fulltrúi","composer.mode.agentMode.auto.optionLabel":"Fulltrúi","composer.mode.agentMode.changePermission":"Skipta um stillingu","composer.mode.agentMode.custom":"Sérsniðið","composer.mode.agentMode.custom.dropdownLabel":"Sérsniðið","composer.mode.agentMode.custom.option":"Sérsniðið (config.toml)","composer.mode.agentMode.custom.optionLabel":"Sérsniðið (config.toml)","composer.mode.agentMode.customInfo.cancel":"Hætta við","composer.mode.agentMode.customInfo.cli":"Þú getur breytt þessum stillingum í CLI eða með því að breyta skránni beint.","composer.mode.agentMode.customInfo.confirm":"Nota sérsniðna stillingu","composer.mode.agentMode.customInfo.description":"Sérsniðin stilling notar samþykki og sandkassareglurnar sem eru skilgreindar í <link>config.toml</link>-skránni þinni.","composer.mode.agentMode.customInfo.docs":"Kynntu þér hvernig þú stillir samþykki og sandkassareglur í <link>skjölunum um keyrsluumhverfi</link>.","composer.mode.agentMode.customInfo.refresh":"Allar breytingar munu taka gildi í næsta skipti sem fulltrúinn er keyrður.","composer.mode.agentMode.customInfo.title":"Svona virkar sérsniðin stilling","composer.mode.agentMode.fullAccess":"Fulltrúi (fullur aðgangur)","composer.mode.agentMode.fullAccess.dropdownLabel":"Fulltrúi (fullur aðgangur)","composer.mode.agentMode.fullAccess.optionLabel":"Fulltrúi (fullur aðgangur)","composer.mode.agentMode.fullAccessConfirm.caution":"Farðu varlega þegar þú veitir fullan aðgang. Þetta eykur töluvert hættuna á gagnatapi, leka eða óvæntri hegðun.","composer.mode.agentMode.fullAccessConfirm.confirm":"Já, halda samt áfram","composer.mode.agentMode.fullAccessConfirm.description":"Þegar Codex er keyrt með fullan aðgang getur það breytt hvaða skrá sem er í tölvunni þinni og keyrt skipanir með netaðgangi án samþykkis frá þér.","composer.mode.agentMode.fullAccessConfirm.goBack":"Hætta við","composer.mode.agentMode.fullAccessConfirm.title":"Veita fullan aðgang?","composer.mode.agentMode.readOnly":"Spjall","composer.mode.agentMode.readOnly.dropdownLabel":"Spjall","composer.mode.agentMode.readOnly.optionLabel":"Spjall","composer.mode.agentMode.tooltip":"Skipta um stillingu","composer.mode.agentMode.tooltip.auto":"Lesa og breyta skrám og keyra skipanir.","composer.mode.agentMode.tooltip.custom":"Nota nýjustu reglur um samþykki og sandkassa sem eru skilgreindar í config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex getur breytt skrám fyrir utan þetta verkefni og keyrt skipanir með netaðgangi. Farðu varlega þegar þú notar þetta.","composer.mode.agentMode.tooltip.readOnly":"Krefst samþykkis til að breyta skrám og keyra skipanir.","composer.mode.cloud.tooltip":"Vinna í skýjaumhverfi","composer.mode.contactAdmin":"Hafðu samband við kerfisstjórann þinn til að fá meiri aðgang","composer.mode.local":"Staðbundið","composer.mode.local.learnMore":"Nánar","composer.mode.local.model.custom":"Sérsniðið","composer.mode.local.model.loadingModel":"Hleður líkani...","composer.mode.local.model.selecrReasoningEffort":"Velja röksemdafærslu","composer.mode.local.model.selectModel":"Velja líkan","composer.mode.local.model.tooltip":"Velja líkan","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Hátt","composer.mode.local.reasoning.low.label":"Lágt","composer.mode.local.reasoning.medium.label":"Miðlungs","composer.mode.local.reasoning.minimal.label":"Lágmarks","composer.mode.local.reasoning.none.label":"Ekkert","composer.mode.local.reasoning.xhigh.label":"Mjög mikil","composer.mode.localRemoteWhereRun":"Veldu hvar á að keyra verkefnið","composer.mode.newTask.header":"Halda áfram eftir","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"Hámark eftir","composer.mode.rateLimit.hour":"{hours} klst.","composer.mode.rateLimit.minute":"{minutes} mín.","composer.mode.rateLimit.modelSectionLabel":"{modelName} hámark:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {vikulegt hámark} other {{weeks} vikulegt hámark}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Vikulega} other {{weeks} vika}}","composer.mode.remote.connectToCloud":"Tengja Codex-vef","composer.mode.remote.connectToCloudDisabledTooltip":"Setja upp umhverfi í gegnum Codex-vef til að geta sent verkefni í skýið","composer.mode.remote.selectEnvironment":"Velja umhverfi","composer.mode.remote.sendToCloud":"Senda í skýið","composer.mode.remote.setupViaWeb":"Setja upp umhverfi í gegnum Codex-vef","composer.mode.runInCloud":"Ský","composer.mode.runInCloudWithEnvironment":"Ský · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Vinna í skýjaumhverfi","composer.mode.segmentedToggle.local.tooltip":"Vinndu í staðbundna verkefninu þínu","composer.mode.segmentedToggle.worktree.tooltip":"Vinndu í samhliða verktré","composer.mode.upgradeToPlus":"Uppfæra í Plus","composer.mode.upgradeToPro":"Uppfæra í Pro","composer.mode.workLocally":"Staðbundið verkefni","composer.mode.workLocally.currentBranchFallback":"greinin þín","composer.mode.workLocally.tooltip":"Vinna í {branchName}","composer.mode.worktree":"Nýtt verktré","composer.mode.worktree.submoduleWarning":"Þessi gagnahirsla er með git-undireiningar. Sköpun verktrés gæti mistekist","composer.mode.worktree.tooltip":"Búðu til afrit af staðbundna vinnusvæðinu þínu til að vinna samhliða","composer.mode.worktreeSegment":"Verktré","composer.modelChangeDuringConversationWarning.toast":"Ef skipt er um líkön í miðju samtali mun það draga úr frammistöðu.","composer.newChat.heading.browser":"Hvað ættum við að forrita næst?","composer.permissionsDropdown.custom.label":"Sérsniðið (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Sérsniðið (config.toml)","composer.permissionsDropdown.default.label":"Sjálfgefnar leyfisveitingar","composer.permissionsDropdown.default.optionLabel":"Sjálfgefnar leyfisveitingar","composer.permissionsDropdown.fullAccess.disabled":"Requirements.toml hefur slökkt á ótakmörkuðu aðgengi","composer.permissionsDropdown.trigger.tooltip":"Breyta leyfisveitingum","composer.personalitySlashCommand.description.friendly":"Hlýtt, samvinnuþýtt og gagnlegt","composer.personalitySlashCommand.description.pragmatic":"Hnitmiðað, verkefnamiðað og hreinskilið","composer.personalitySlashCommand.label.friendly":"Vinalegt","composer.personalitySlashCommand.label.pragmatic":"Hagsýni","composer.personalitySlashCommand.notApplicableSuffix":"(Á ekki við um núverandi líkan)","composer.personalitySlashCommand.title":"Persónuleiki","composer.placeholder.cloudFollowUp.directFollowUp":"Eftirfylgni með þessu skýjaverkefni","composer.placeholder.cloudFollowUp.local":"Búa til nýtt staðbundið verkefni sem vísar í þetta skýjaverkefni.","composer.placeholder.cloudFollowUp.workingTree":"Búa til nýtt skýjaverkefni sem inniheldur núverandi kópann þinn og mun vísa í þetta verkefni","composer.placeholder.localFollowUp.cloud":"Eftirfylgni í nýju skýjaverkefni","composer.placeholder.localFollowUp.locally":"Óska eftir breytingum á eftirfylgni","composer.placeholder.newTask.cloud":"Biddu Codex um að gera hvað sem er í skýjinu","composer.placeholder.newTask.doAnything":"Biddu Codex um að gera hvað sem er","composer.placeholder.newTask.locally":"Spyrðu Codex um hvað sem er, @ til að bæta við skrám, / fyrir skipanir","composer.planModeDropdown":"Skipulagsstilling","composer.planModeDropdown.ariaLabel":"Skipulagsstilling","composer.planModeIndicator":"Áskriftarleið","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Slökkva á skipulagsstillingu","composer.planSlashCommand.enableDescription":"Kveikja á skipulagsstillingu","composer.planSlashCommand.title":"Skipulagsstilling","composer.priorContext.label":"Fyrra samhengi","composer.priorContext.removeAriaLabel":"Fjarlægja fyrra samhengi","composer.queuedMessage.delete":"Eyða skilaboðum í bið","composer.queuedMessage.edit":"Breyta skilaboðum","composer.queuedMessage.more":"Skilaboðaaðgerðir í bið","composer.queuedMessage.sendNow":"Senda núna","composer.queuedMessage.turnOff":"Slökkva á bið","composer.reasoningEffort.local.reasoning.tooltip":"Velja dýpt röksemdafærslu","composer.remote.branchStartingPoint":"Hvaða grein ætti þetta verkefni að hefjast frá?","composer.remote.branchesSectionHeading":"Greinar","composer.remote.currentEditsSuffix.followUp":"Búa til nýtt verkefni sem vísar í þetta skýjaverkefni.","composer.remote.currentEditsSuffix.useLocal":"með staðbundnum kóðabreytingum","composer.remote.directFollowUp":"Ekki nota staðbundnar breytingar","composer.remote.errorLoadingBranches":"Villa við að hlaða greinum","composer.remote.fromBranch":"Frá {branch}","composer.remote.fromCurrentBranch":"Frá {branch} (núverandi)","composer.remote.loadingMoreBranches":"Hleður ...","composer.remote.localFileStateHeading":"Staða staðbundinnar skrár","composer.remote.localWorkingTree":"Nota staðbundnar breytingar","composer.remote.startingPoint":"Hvaða kóða á að nota við upphaf þessa verkefnis?","composer.reviewMode.branches.error":"Ekki tókst að hlaða greinar","composer.reviewMode.branches.retry":"Reyna aftur","composer.reviewMode.gitRoot.error":"Git-rót fannst ekki","composer.reviewMode.option.baseBranch.simple":"Fara yfir samanborið við grunngrein","composer.reviewMode.option.unstaged.simple":"Fara yfir óstaðfestar breytingar","composer.reviewMode.quickReviewError":"Ekki tókst að hefja kóðayfirferð.","composer.reviewMode.title":"Kóðayfirferð","composer.sandboxButton.unlock.disabled.tooltip":"Requirements.toml hefur slökkt á ótakmörkuðu aðgengi","composer.sandboxButton.windowsSandboxDialog.content":"Codex getur notað tilraunasandkassa í Windows til að takmarka aðgang að skráarkerfi og neti. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Virkja Windows Sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Nota skrifvarið","composer.searchEnvironments":"Leita að umhverfum","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Hleður hæfileikum…","composer.skillMentionList.noResults":"Engir hæfileikar fundust","composer.slashCommands.cloudEnvironment.title":"Skýjaumhverfi","composer.slashCommands.dialogLabel":"Skástrikavalmynd","composer.slashCommands.dialogTitle":"Skástrikaskipanir","composer.slashCommands.disabledTooltip":"Byrjaðu á nýju samtali til að nota skástrikaskipanir","composer.slashCommands.inputPlaceholder":"Leita","composer.slashCommands.noResults":"Engar skipanir","composer.slashCommands.skillsGroup":"Hæfileikar","composer.slashCommands.tooltip":"Fletta í skástriksskipunum","composer.status.close":"Loka","composer.statusPlain.alertLabel":"Viðvörun:","composer.statusPlain.alertValue":"{remaining}% eftir á {window}","composer.statusPlain.contextLabel":"Samhengi:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} notað af {total})","composer.statusPlain.contextValueRemaining":"{remaining}% eftir","composer.statusPlain.heading":"Staða","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} hámark:","composer.statusPlain.rateLimitDays":"{count}d hámark","composer.statusPlain.rateLimitFallbackLabel":"Hámarkstíðni:","composer.statusPlain.rateLimitHours":"{count}klst hámark","composer.statusPlain.rateLimitLabelBase":"Hámarkstíðni","composer.statusPlain.rateLimitMinutes":"{count}m hámark","composer.statusPlain.rateLimitPercent":"{remaining}% eftir","composer.statusPlain.rateLimitReset":"endurstillist {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"endurstilling tíma ekki í boði","composer.statusPlain.rateLimitUnavailable":"Ekki í boði","composer.statusPlain.sessionCopiedAriaLabel":"Auðkenni lotu afritað","composer.statusPlain.sessionCopiedTooltip":"Auðkenni afritað","composer.statusPlain.sessionCopyAriaLabel":"Afrita auðkenni lotu","composer.statusPlain.sessionCopyTooltip":"Afritaðu auðkenni","composer.statusPlain.sessionLabel":"Lota:","composer.statusSlashCommand.description":"Sýna auðkenni þráðs, samhengisnotkun og hámarkstíðni","composer.statusSlashCommand.title":"Staða","composer.submit.blockedDialogOk":"Í lagi","composer.submit.blockedDialogTitle":"Ekki hægt að senda skilaboð.","composer.submit.emptyMessage":"Skrifaðu skilaboð til að hefjast handa","composer.submit.imageInputsUnsupported":"Fjarlægðu myndir eða skiptu um líkan til að senda þessi skilaboð.","composer.submit.loadingLocalConfig":"Hleður ...","composer.submit.missingCloudConfig":"Þú verður að velja skýjaumhverfi","composer.submit.missingCloudTurn":"Ekki er hægt að fylgja þessu verkefni eftir","composer.submit.noWorkspace":"Bættu við verkefni til að nota Codex","composer.submit.waitForImageUploads":"Hleður upp myndum…","composer.submitButtonTooltip.send":"Senda","composer.submitButtonTooltip.stop":"Stoppa","composer.worktreeEnvironment.create":"Búðu til staðbundið umhverfi","composer.worktreeEnvironment.default":"Sjálfgefið umhverfi","composer.worktreeEnvironment.error":"Villa við að hlaða umhverfi","composer.worktreeEnvironment.loading":"Hleð inn umhverfum…","composer.worktreeEnvironment.title":"Staðbundið umhverfi","composer.worktreeEnvironment.tooltip":"Staðbundið umhverfi vistað","composer.worktreeSetupFailed":"Tókst ekki að setja upp verktré. Athugaðu .codex/environments til að finna uppsetningarhandrit.","compoundButton.secondaryAction":"Aukaaðgerð","copyButton.copied":"Afritað","copyButton.copiedAriaLabel":"Afritað","copyButton.copy":"Afrita","copyButton.copyAriaLabel":"Afrita","copyButton.copyCode":"Afrita kóða","diff.actionButton.revertFile":"Afturkalla skrá","diff.actionButton.revertHunk":"Afturkalla","diff.actionButton.revertSection":"Afturkalla allt","diff.actionButton.revertSectionLabel":"Afturkalla allt","diff.actionButton.stageFile":"Sviðsetja skrá","diff.actionButton.stageHunk":"Setja á svið","diff.actionButton.stageSection":"Sviðsetja allt","diff.actionButton.stageSectionLabel":"Sviðsetja allt","diff.actionButton.unstageFile":"Taka skrá af sviði","diff.actionButton.unstageHunk":"Taka af sviði","diff.actionButton.unstageSection":"Taka allt af sviði","diff.actionButton.unstageSectionLabel":"Taka allt af sviði","diff.fileHeader.toggle":"Skipta um diff skrár","electron.onboarding.login.apikey.cancel":"Hætta við","electron.onboarding.login.apikey.continue":"Halda áfram","electron.onboarding.login.apikey.label":"OpenAI API-lykill","electron.onboarding.login.apikey.open":"Sláðu inn API-lykil","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Hætta við að skrá inn","electron.onboarding.login.chatgpt.continue":"Halda áfram með ChatGPT","electron.onboarding.login.devbox":"Tengjast SSH á fjartölvu","electron.onboarding.login.error":"Innskráning mistókst: {rawMessage}","electron.onboarding.login.snake.start":"Spila Snake","electron.onboarding.login.sshConfig.cancel":"Hætta við","electron.onboarding.login.sshConfig.continue":"Halda áfram","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-netfang","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Besta leiðin til að byggja með fulltrúum","electron.onboarding.login.title":"Velkomin(n) í Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Halda áfram","electron.onboarding.welcome.doubleLimits.description":"Til að fagna útgáfu Codex-appsins færð þú tvöfalda hámarkstíðni til 2. apríl.","electron.onboarding.welcome.freego.description":"Codex fylgir ókeypis með áskriftinni þinni til 2. mars – byrjum að vinna saman.","electron.onboarding.welcome.new.title.anon":"Gaman að sjá þig!","electron.onboarding.workspace.continue":"Halda áfram","electron.onboarding.workspace.empty":"Bættu við verkefni til að halda áfram.","electron.onboarding.workspace.listLabel":"Tiltæk verkefni","electron.onboarding.workspace.loading":"Hleður verkefnum…","electron.onboarding.workspace.openFolder":"Bæta við verkefni","electron.onboarding.workspace.selectAll":"Velja allt","electron.onboarding.workspace.skip":"Sleppa","electron.onboarding.workspace.skip.error":"Tókst ekki að búa til nýtt verkefni: {message}","electron.onboarding.workspace.skip.error.unknown":"Óþekkt villa","electron.onboarding.workspace.skipping":"Býr til nýtt verkefni…","electron.onboarding.workspace.subtitle":"Codex mun geta breytt skrám og keyrt skipanir í völdum möppum.","electron.onboarding.workspace.title":"Velja verkefni","errorPage.list.checkSettings":"Prófaðu að uppfæra IDE-stillingarnar","errorPage.list.configToml":"Athugaðu með ógildar stillingar í config.toml","errorPage.list.downloadExtension":"Prófaðu að hlaða niður annarri útgáfu af viðbótinni","errorPage.list.runInWsl":"Athugaðu stillingarnar til að slökkva á keyrslu í WSL ef þú sérð vandamál með ósamhæfi","execApprovalRequest.menu.runAlways":"Já, ekki spurja aftur í þessari lotu","execApprovalRequest.menu.runAlwaysWithAmendment":"Já, og ekki spyrja aftur fyrir skipanir sem byrja á {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Já, og ekki spyrja aftur fyrir skipanir sem byrja á","execApprovalRequest.menu.runOnce":"Já","execApprovalRequest.prompt":"Viltu keyra þessa skipun?","execApprovalRequest.reject":"Nei","execFooter.exitCode":"Úttakskóði {code}","execFooter.exitCode.unknown":"óþekkt","execFooter.success":"Heppnaðist","feedback.dialog.category.badResult":"Slæm niðurstaða","feedback.dialog.category.bug":"Villa","feedback.dialog.category.goodResult":"Góð niðurstaða","feedback.dialog.category.other":"Annað","feedback.dialog.descriptionPlaceholder":"Lýstu vandamálinu hér","feedback.dialog.dismiss":"Hunsa","feedback.dialog.includeLogsLabel":"Hafa með skrár um núverandi Codex-lotu","feedback.dialog.submit":"Senda","feedback.dialog.submitError":"Ekki tókst að senda inn ábendinguna. Reyndu aftur eftir smá stund.","feedback.dialog.title":"Ábending","feedback.dialog.uploadedMessage.existingIssue":"núverandi opið mál","feedback.dialog.uploadedMessage.openIssue":"opna GitHub-mál","feedback.dialog.uploadedMessage.withThread":"Ábendingu hlaðið upp. Ef vandamálið leysist ekki skaltu {openIssueLink} eða nefna auðkenni þráðsins í {existingIssueLink}:","feedback.dialog.uploadedTitle":"Ábendingu hlaðið upp","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Fjarlægja {filename}","header.back":"Til baka","header.recentChats":"Verkefni","header.recentTasks.seeAll":"Skoða allt ({total})","home.header.getPlus":"Fá Plus","home.hero.letsBuild":"Byrjum að byggja saman","homePage.mainContent":"Aðalinnihald","imageAttachment.defaultName":"mynd","imageAttachment.preview.close":"Loka forskoðun myndar","imageAttachment.removeAriaLabel":"Fjarlægja {filename}","implementPlanRequest.option.implement":"Já, innleiða þessa áætlun","implementPlanRequest.prompt":"Innleiða þessa áætlun?","inbox.archived.deleteError":"Tókst ekki að eyða keyrslu í skráarsafni","inbox.archived.deleteRun":"Eyða keyrslu í skráarsafni","inbox.archived.deleteSuccess":"Þræði í skráasafni eytt. Skoða í <settingsLink>Skráasafni þráða.</settingsLink>.","inbox.archived.inlineLabel.auto":"Þessi þráður var sjálfkrafa settur í skráarsafn. <learnMoreLink>Nánar</learnMoreLink>","inbox.archived.inlineLabel.manual":"Þessi þráður var settur í skráarsafn","inbox.archived.noMessageFound":"Engin skilaboð fundust","inbox.automations.createError":"Gat ekki búið til sjálfvirkni","inbox.automations.deleteConfirm.cancel":"Hætta við","inbox.automations.deleteConfirm.confirm":"Eyða sjálfvirku verkefni","inbox.automations.deleteConfirm.description":"Þetta mun varanlega eyða sjálfvirka verkefninu og stöðva seinni keyrslur.","inbox.automations.deleteConfirm.title":"Eyða {name}?","inbox.automations.deleteError":"Ekki tókst að eyða sjálfvirku verkefni","inbox.automations.editTooltip":"Breyta sjálfvirkni","inbox.automations.inProgress":"Í vinnslu","inbox.automations.new":"Nýtt","inbox.automations.newToolbar":"Ný sjálfvirkni","inbox.automations.pauseTooltip":"Gera hlé á sjálfvirkni","inbox.automations.resumeTooltip":"Endurræsa sjálfvirkni","inbox.automations.startingNow":"Hefst núna","inbox.automations.startsIn":"Byrjar {startTime}","inbox.automations.status.active":"Virkt","inbox.automations.status.paused":"Í bið","inbox.automations.status.runs":"{count} keyrslur","inbox.automations.status.started":"{date} ræst","inbox.automations.updateError":"Gat ekki uppfært sjálfvirkt verkefni","inbox.automations.workspaceFallback":"–","inbox.filter.all":"Allt","inbox.filter.ariaLabel":"Sía atriði í innhólfi","inbox.filter.unread":"Ólesið","inbox.list.archived":"Sett í skráasafn","inbox.list.inProgress":"Í vinnslu","inbox.list.recent":"Lokið","inbox.list.upNext":"Á dagskrá","inbox.mode.automations":"Sjálfvirkni","inbox.mode.automations.beta":"Beta-útgáfa","inbox.noDescription":"Engin lýsing fylgir","inbox.openThread":"Opna þráð","inbox.rightPanel.emptySubtitle":"Gerðu vinnuna sjálfvirka með því að setja upp áætlunarverkefni","inbox.rightPanel.emptySubtitle.learnMore":"Sjálfvirknivæddu vinnu með því að setja upp tímasetta þræði. <link>Nánar</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# virk sjálfvirk verkefni} other {# virk sjálfvirk verkefni}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Engin ólesin sjálfvirk verkefni","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ólesið sjálfvirkt verkefni} other {# ólesin sjálfvirk verkefni}}","inbox.rightPanel.emptyTitle":"Ekkert atriði valið","inbox.rightPanel.noThread":"Enginn þráður fyrir þetta atriði","inbox.rightPanel.quickStart.header":"Byrjaðu með sniðmáti","inbox.untitled":"Óskírt innhólfsatriði","loadingPage.documentationLink":"skjalfesting","loadingPage.errorDescription":"Codex hrundi með eftirfarandi villu:","loadingPage.errorDescription.documentation":"Ýttu á endurhlaða til að endurræsa Codex-viðbótina eða farðu í {documentationLink} til að fá meiri aðstoð.","loadingPage.errorSignal":"Þetta geturðu prófað:","loadingPage.errorTitle":"Villa kom upp","loadingPage.openConfigToml":"Opna Config.toml","loadingPage.reload":"Endurhlaða","localConversation.contextCompacted":"Samhengi sjálfkrafa samanþjappað","localConversation.contextCompacting":"Samanþjappar sjálfkrafa samhengi","localConversation.forkedFromConversation":"Gafflað frá {threadTitle}","localConversation.merge.autoResolve.failed":"Tókst ekki að óska eftir sjálfvirkri úrlausn: {error}","localConversation.merge.autoResolve.sent":"Beiðni um sjálfvirka úrlausn send","localConversation.merge.autoResolveMerge.missingConversation":"Tókst ekki að leysa sjálfkrafa án virks samtals.","localConversation.merge.autoResolveMerge.request":"Leysa sjálfkrafa úr sameinuðum árekstrum","localConversation.modelChanged":"Líkani breytt úr {fromModel} í {toModel}.","localConversation.modelChanged.warning.line1":"Ef skipt er um líkön í miðju samtali mun það draga úr frammistöðu.","localConversation.modelChanged.warning.line2":"Samhengi kann að vera sjálfkrafa þjappað.","localConversation.moveThread.createBranch.label":"Búa til grein","localConversation.moveToLocal.disabled.loading":"Hleður ...","localConversation.moveToLocal.modal.continue":"Halda áfram","localConversation.moveToLocal.modal.destinationLabel":"Færa í","localConversation.moveToLocal.modal.retry":"Reyna aftur","localConversation.moveToWorktree.modal.back":"Til baka","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Grein er þegar til.","localConversation.moveToWorktree.modal.branchesError":"Ekki tókst að hlaða greinar","localConversation.moveToWorktree.modal.branchesLoading":"Hleður greinum…","localConversation.moveToWorktree.modal.branchesRetry":"Reyna aftur","localConversation.moveToWorktree.modal.continue":"Halda áfram","localConversation.moveToWorktree.modal.retry":"Reyna aftur","localConversation.moveToWorktree.modal.trailingSlashError":"Nafn greinar má ekki enda á „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ný-grein","localConversation.personalityChanged":"Skipti yfir í {personality} persónuleika","localConversation.planSummary.collapse":"Fella niður samantekt á áætlun","localConversation.planSummary.collapseTooltip":"Draga saman","localConversation.planSummary.download":"Sækja áætlun","localConversation.planSummary.expand":"Draga út samantekt á áætlun","localConversation.planSummary.expandTooltip":"Stækka","localConversation.planSummary.openInNewWindow":"Opna","localConversation.planSummary.openInNewWindow.tooltip":"Opna í nýjum glugga","localConversation.planSummary.title":"Áskriftarleið","localConversation.planSummary.titleWriting":"Skrifáætlun","localConversation.planSummary.viewPlan":"Draga út áætlun","localConversation.remoteTaskCreated":"Búið til {taskLink} í Codex Cloud","localConversation.remoteTaskCreated.task":"verkefni","localConversation.scrollToBottomButton":"Fara neðst","localConversation.sync.buttonLabel":"Afhenda á staðbundið","localConversation.sync.buttonLabel.tooltip":"Afhentu breytingar á milli þessa verktrés og staðbundnu afgreiðslunnar þinnar.","localConversation.sync.modal.loading.title":"Afhendir breytingar…","localConversation.sync.modal.noChanges":"Engar breytingar","localConversation.syncSetup.branchAriaLabel":"Heiti greinar","localConversation.syncSetup.branchName":"Heiti greinar","localConversation.syncSetup.branchPlaceholder.existing":"Veldu núverandi grein","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Hleður greinum…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Nú þegar afgreitt","localConversation.syncSetup.checkoutClean":"Á {branchName} eins og er","localConversation.syncSetup.checkoutDirty":"Á {branchName} með óstaðfestum breytingum eins og er","localConversation.syncSetup.checkoutError":"Tókst ekki að afgreiða grein: {message}","localConversation.syncSetup.checkoutLabel":"Athuga staðbundið núna","localConversation.syncSetup.checkoutOnLocal":"Afhenda á staðbundið","localConversation.syncSetup.checkoutPending":"Athugar staðbundna stöðu…","localConversation.syncSetup.checkoutUnavailable":"Staðbundið vinnusvæði ekki tiltækt","localConversation.syncSetup.checkoutUnknown":"Staðbundin grein ekki tiltæk","localConversation.syncSetup.continue":"Halda áfram","localConversation.syncSetup.createBranchError":"Tókst ekki að stilla afhendingargrein: {message}","localConversation.syncSetup.error":"Eitthvað fór úrskeiðis: {message}","localConversation.syncSetup.error.workingTreeMissing":"Tókst ekki að taka skyndimynd af verktré. Prófaðu að afhenda aftur.","localConversation.syncSetup.mode.ariaLabel":"Veldu greinarstillingu","localConversation.syncSetup.mode.existing":"Núverandi grein","localConversation.syncSetup.mode.new":"Ný grein","localConversation.syncSetup.noBranches":"Engar greinar fundust","localConversation.syncSetup.overwriteError":"Búið var til grein en hún ekki afhent að fullu. Afhentu handvirkt áður en þú afgreiðir staðbundið.","localConversation.syncSetup.setPrefix":"Stilla forskeyti","localConversation.syncSetup.subtitle":"Prófaðu og breyttu verktrjárbreytingum staðbundið. <a>Nánar</a>","localConversation.syncSetup.success.checkedOut":"Grein hefur verið búin til og afgreidd staðbundið","localConversation.syncSetup.success.notCheckedOut":"Grein búin til","localConversation.syncSetup.title":"Afhenda á staðbundna grein","localConversation.syncWorktreeError.branchAriaLabel":"Heiti greinar","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Veldu grein til að afhenda til og reyndu síðan að hlaða breytingum.","localConversation.syncWorktreeError.branchSetup.title":"Uppfæra grein","localConversation.syncWorktreeError.branchUpdate.cta":"Uppfæra og reyna aftur","localConversation.syncWorktreeError.branchUpdate.error":"Tókst ekki að uppfæra grein: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Eitthvað fór úrskeiðis: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Grein er ekki afgreidd í neinu verktré.","localConversation.syncWorktreeV2.applyUncommitted":"Nota","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Þú verður fyrst að afgreiða greinina staðbundið og virkja óstaðfestar breytingar","localConversation.syncWorktreeV2.branches.empty":"Engar greinar fundust","localConversation.syncWorktreeV2.branches.loading":"Hleður greinum…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Breyta afhendingargrein","localConversation.syncWorktreeV2.changeBranch.error":"Tókst ekki að breyta afhendingargrein: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Tókst ekki að virkja","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Tókst ekki að skrifa yfir verktré","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Tókst ekki að skrifa yfir staðbundið","localConversation.syncWorktreeV2.commandError.back":"Til baka","localConversation.syncWorktreeV2.commandError.body":"Git-skipun mistókst við afhendingu. Farðu yfir úttakið og reyndu aftur.","localConversation.syncWorktreeV2.commandError.retry":"Reyna aftur","localConversation.syncWorktreeV2.description":"Afhentu breytingar á milli staðbundins og þessa verktrés <a>Nánar</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Veldu stefnu afhendingar","localConversation.syncWorktreeV2.error.generic":"Eitthvað fór úrskeiðis við afhendingu. Reyndu aftur.","localConversation.syncWorktreeV2.localBranchLabel":"Staðbundið","localConversation.syncWorktreeV2.noChanges":"Reiknar út breytingar","localConversation.syncWorktreeV2.noChanges.summary":"Engar breytingar","localConversation.syncWorktreeV2.overwrite.local":"Skrifa yfir staðbundið","localConversation.syncWorktreeV2.overwrite.worktree":"Skrifa yfir verktré","localConversation.syncWorktreeV2.partial.action.applyFailed":"Gat ekki notað breytingar","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Tókst ekki skrifað yfir staðbundnar breytingar","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Tókst ekki að skrifa yfir breytingar á verktré","localConversation.syncWorktreeV2.partial.appliedLabel":"Notað","localConversation.syncWorktreeV2.partial.back":"Til baka","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Leystu ágreininga og reyndu aftur.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Árekstrar","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# skrá} other {# skrár}}","localConversation.syncWorktreeV2.partial.retry":"Reyna aftur","localConversation.syncWorktreeV2.partial.skippedLabel":"Sleppt","localConversation.syncWorktreeV2.stateFailed.generic":"Eitthvað fór úrskeiðis við að sækja verktrésbreytingar til að afhenda. Reyndu aftur.","localConversation.syncWorktreeV2.stateFailed.title":"Tókst ekki að hlaða breytingum á verktré","localConversation.syncWorktreeV2.statusError.diffUnknown":"Tókst ekki að hlaða breytingum á verktré.","localConversation.syncWorktreeV2.statusError.retry":"Reyna aftur","localConversation.syncWorktreeV2.statusError.title":"Tókst ekki að hlaða staðbundnum verktrésbreytingum","localConversation.syncWorktreeV2.statusError.unknown":"Staða greinar er ekki tiltæk að svo stöddu. Reyndu aftur.","localConversation.syncWorktreeV2.success.apply":"Breytingar virkjaðar","localConversation.syncWorktreeV2.success.overwrite":"Afhending tókst","localConversation.syncWorktreeV2.title":"Afhenda breytingar","localConversation.syncWorktreeV2.worktreeLabel":"Verktré","localConversation.userInputRequest.inProgress":"Spyr {count, plural, one {spurning} other {spurningar}}","localConversation.userInputRequest.noAnswer":"Engin svör gefin","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Spurt","localConversation.userInputRequest.summary.count":"{count, plural, one {# spurning} other {# spurningar}}","localConversation.workedFor":"Vann í {time}","localConversation.worktreeBranchSetup.action.create":"Búa til","localConversation.worktreeBranchSetup.branchAriaLabel":"Heiti greinar","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Búa til nýja grein","localConversation.worktreeBranchSetup.checkoutDisabled":"Þessi grein hefur nú þegar verið afgreidd á {location}","localConversation.worktreeBranchSetup.checkoutError":"Tókst ekki að afgreiða grein: {message}","localConversation.worktreeBranchSetup.createBranchError":"Tókst ekki að stilla grein: {message}","localConversation.worktreeBranchSetup.error":"Eitthvað fór úrskeiðis: {message}","localConversation.worktreeBranchSetup.subtitle":"Búðu til grein til að staðfesta breytingar, birta og búa til PR úr þessu verktré. <a>Nánar</a>","localConversation.worktreeBranchSetup.title":"Vinna hér","localConversationPage.addWorktreeToSidebar.tooltip":"Vistaðu sem verkefni svo þú getir byrjað nýjan þráð úr þessu verktré","localConversationPage.addWorktreeToSidebarError":"Tókst ekki að bæta við verkefni","localConversationPage.commitAndCreatePrModal.errorTitle":"Tókst ekki að staðfesta og búa til PR","localConversationPage.commitAndCreatePrModal.successTitle":"PR hefur verið staðfest og búið til","localConversationPage.commitAndPushModal.errorTitle":"Staðfesting og birting tókst ekki","localConversationPage.commitAndPushModal.successTitle":"Staðfestar og birtar breytingar","localConversationPage.commitCreatePr.open":"Opna samrunabeiðni","localConversationPage.commitCreatePr.successTitle":"PR búið til með nýjustu breytingunum þínum","localConversationPage.createBranchButtonLabel":"Grein hér","localConversationPage.createPrModal.baseBranch":"Grunnur","localConversationPage.createPrModal.baseBranchUnknown":"–","localConversationPage.createPrModal.confirm":"Búa til samrunabeiðni","localConversationPage.createPrModal.createDescription":"Opna birtingarbeiðni fyrir nýjustu breytingarnar þínar.","localConversationPage.createPrModal.errorTitle":"Samrunabeiðni tókst ekki","localConversationPage.createPrModal.headBranch":"Haus","localConversationPage.createPrModal.headBranchUnknown":"–","localConversationPage.createPrModal.open":"Opna PR","localConversationPage.createPrModal.successTitle":"Samrunabeiðni búin til","localConversationPage.createPrModal.title":"Búa til samrunabeiðni","localConversationPage.createPrModal.viewDescription":"Samrunabeiðni er nú þegar til fyrir þessa grein.","localConversationPage.createPrModal.viewTitle":"Samrunabeiðni tilbúin","localConversationPage.createPullRequestAuthGh":"Staðfestu auðkenni GitHub CLI: keyrðu „gh auth login“","localConversationPage.createPullRequestBranchMissing":"Upplýsingar um grein ekki í boði","localConversationPage.createPullRequestButtonLabel":"Búa til samrunabeiðni","localConversationPage.createPullRequestButtonLabel.loading":"Býr til PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Upplýsingar um sjálfgefna grein ekki í boði","localConversationPage.createPullRequestError":"Ekki tókst að búa til samrunabeiðni","localConversationPage.createPullRequestExistingPullRequest":"Samrunabeiðni er nú þegar til fyrir þessa grein","localConversationPage.createPullRequestGhStatusMissing":"Hleður stöðu GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Settu upp GitHub CLI (gh) til að búa til PR","localConversationPage.createPullRequestNoRepo":"Engin git-gagnahrisla fannst","localConversationPage.createPullRequestPushStatusMissing":"Hleður stöðu birtingar","localConversationPage.createPullRequestSetUpstream":"Tilkynntu þessa grein áður en þú býrð til PR","localConversationPage.createPullRequestSuccessToast":"Samrunabeiðni búin til","localConversationPage.createPullRequestSwitchBranch":"Útritaðu eiginleikagrein áður en þú býrð til PR","localConversationPage.error.render":"Villa við að birta staðbundið samtal","localConversationPage.error.toast":"Samtal fannst ekki","localConversationPage.forcePushError":"Tókst ekki að þvinga birtingu","localConversationPage.generatePullRequestMessageError":"Tókst ekki að búa til titil og efni samrunabeiðnar","localConversationPage.generatePullRequestMessageFailed":"Tókst ekki að búa til titil og efni samrunabeiðnar.","localConversationPage.gitActionResult.branch":"Grein","localConversationPage.gitActionResult.cancel":"Hætta við","localConversationPage.gitActionResult.close":"Loka","localConversationPage.gitActionResult.tryAgain":"Reyna aftur","localConversationPage.gitActions":"Git-aðgerðir","localConversationPage.newChat":"Nýtt spjall","localConversationPage.openInTarget":"Opna í","localConversationPage.openPrimaryTarget":"Opna","localConversationPage.planItemsCompleted":"{completedItems} af {totalItems, plural, one {# verkefni lokið} other {# verkefnum lokið}}","localConversationPage.pushAuthError":"Fjölþætt sannvottun er nauðsynleg","localConversationPage.pushBranchMissing":"Upplýsingar um grein ekki í boði","localConversationPage.pushButtonLabel":"Birting","localConversationPage.pushButtonLabel.loading":"Birtir…","localConversationPage.pushError":"Tókst ekki að birta breytingar","localConversationPage.pushModal.branchLabel":"Grein","localConversationPage.pushModal.branchUnknown":"–","localConversationPage.pushModal.cancel":"Hætta við","localConversationPage.pushModal.confirm":"Búa til","localConversationPage.pushModal.description":"Birta nýjustu staðfestingar i fjargagnahirslunni.","localConversationPage.pushModal.errorTitle":"Birting tókst ekki","localConversationPage.pushModal.forcePush":"Þvinga birtingu","localConversationPage.pushModal.successTitle":"Birtingu lokið","localConversationPage.pushModal.title":"Birta breytingar","localConversationPage.pushModal.tryAgain":"Reyna aftur","localConversationPage.pushNoUpstream":"Stiltu uppstreymi áður en þú birtir þessa grein","localConversationPage.pushNoUpstreamError":"Tilkynning mistókst: ekkert uppstreymi stillt","localConversationPage.pushNothingToPush":"Engar nýjar staðfestingar til að birta","localConversationPage.pushRemoteChangedError":"Tilkynning mistókst: fjarstilling er með nýjar staðfestingar","localConversationPage.pushRemoteRejectedError":"Tilkynningu hafnað af fjarstillingu","localConversationPage.pushStatusMissing":"Hleður stöðu birtingar","localConversationPage.pushSuccessToast":"Birtar breytingar","localConversationPage.viewPullRequestButtonLabel":"Skoða samrunabeiðni","localConversationPage.viewPullRequestButtonLabel.loading":"Hleður samrunabeiðni…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# skrá} other {# skrár}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# listi} other {# listar}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# leit} other {# leitir}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Kannar","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Kannað","localConversationTurn.exploration.accordion.header.complete.withCounts":"Kannaði {counts}","localConversationTurnStory.showContent":"Sýna efni","localConversationTurnStory.streamContent":"Streyma efni","localConversationTurnStory.toggleReasoning":"Sýna röksemdafærslu","localTaskRow.archiveError":"Ekki tókst að setja samtal í skráasafn","localTaskRow.resumeError":"Ekki tókst að halda áfram með verkefni","mermaidDiagram.ariaLabel":"Mermaid-skýringarmynd","mermaidDiagram.copySource":"Afrita mermaid","mermaidDiagram.originalCode":"Mermaid-frumkóði","notifications.permissions.description":"Sýna viðvaranir þegar tilkynningaheimilda er krafist","notifications.permissions.label":"Virkja leyfistilkynningar","notifications.turnMode.always":"Alltaf","notifications.turnMode.description":"Stilltu hvenær Codex lætur þig vita að það sé búið","notifications.turnMode.label":"Tilkynningar um lok lotu","notifications.turnMode.off":"Aldrei","notifications.turnMode.unfocused":"Aðeins þegar slökkt er á einbeitingu","patchApprovalRequest.approve":"Samþykkja","patchApprovalRequest.menu.allowAlways":"Já, ekki spyrja aftur í þessari lotu","patchApprovalRequest.menu.allowForSession":"Já, ekki spurja aftur í þessari lotu","patchApprovalRequest.menu.allowOnce":"Já","patchApprovalRequest.prompt":"Viltu gera þessar breytingar?","patchApprovalRequest.reject":"Nei","patchApprovalRequest.waitingForApproval":"Bíður eftir samþykki fyrir að breyta skrám","pendingRequest.approvalExec.collapse":"Draga saman","pendingRequest.approvalExec.expand":"Stækka","pendingRequestStory.toastAnswer":"Svar: {answer}","pendingRequestStory.toastApprovalTitle":"Samþykkissvar","pendingRequestStory.toastFollowupPrompt":"Skipun: {prompt}","pendingRequestStory.toastFollowupTitle":"Eftirfylgni send","pendingRequestStory.toastNoAnswers":"Engin svör gáfust","pendingRequestStory.toastQuestion":"Spurning: {question}","pendingRequestStory.toastUnknownDecision":"Óþekkt","pendingRequestStory.toastUserInputTitle":"Innsend svör","quickAction.request.codeReview.branches.new":"Skoðaðu breytingar á {from} miðað við {to}","quickAction.request.codeReview.uncommitted.new":"Skoðaðu breytingarnar mínar sem á eftir að staðfesta","reasoningItem.thinking":"Hugsar","reasoningItem.thought":"Hugsaði","reasoningItem.thoughtWithElapsed":"Hugsaði í {elapsed}","recentConversations.title":"Nýleg samtöl","recentTasks.worktreeInitFailedTitle":"Tókst ekki að frumstilla verktré","recentTasks.worktreeSettingUpTitle":"Setur upp verktré","requestInputPanel.continue":"Halda áfram","requestInputPanel.dismiss":"Hunsa","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Skrifaðu hér","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nei, og segðu Codex hvað á að gera öðruvísi","requestInputPanel.selectedBadge":"Valið","requestInputPanel.skip":"Sleppa","requestInputPanel.submit":"Senda","review.commit.ariaLabel.includeUnstaged":"Taka óstigsettar breytingar með","review.commit.buttonLabel":"Staðfesta","review.commit.disabled.committing":"Staðfestir…","review.commit.disabled.loadingDiff":"Hleður diffum…","review.commit.disabled.missingContext":"Bættu við samhengi til að búa til staðfestingarskilaboð","review.commit.disabled.noChanges":"Engar breytingar til að staðfesta","review.commit.disabled.noSelection":"Veldu breytingar til að staðfesta","review.commit.disabled.unavailable":"Staðfesting er ekki í boði eins og er","review.commit.error":"Tókst ekki að staðfesta breytingar","review.commit.form.changesToBeCommitted":"Breytingar","review.commit.form.commitTo":"Grein","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Halda áfram","review.commit.form.title":"Sendu breytingarnar þínar","review.commit.generate.emptyResponse":"Gat ekki búið til staðfestingarskilaboð.","review.commit.generate.failed":"Tókst ekki að búa til staðfestingarskilaboð: {error}","review.commit.generate.missingPrompt":"Bættu við samhengi til að búa til staðfestingarskilaboð.","review.commit.includeUnstaged":"Taka óstigsettar breytingar með","review.commit.loading.description":"Augnablik, þetta gæti tekið smá tíma…","review.commit.loading.step.commit.done":"Staðfestar breytingar","review.commit.loading.step.commit.pending":"Staðfestir breytingar","review.commit.loading.step.createPr.done":"Samrunabeiðni búin til","review.commit.loading.step.createPr.pending":"Býr til samrunabeiðni","review.commit.loading.step.push.done":"Birt á grein {branch}","review.commit.loading.step.push.pending":"Birtir á grein {branch}","review.commit.loading.title.commit":"Staðfestir breytingar","review.commit.loading.title.createPr":"Býr til PR","review.commit.loading.title.push":"Birtir breytingar","review.commit.messageLabel":"Skilaboð við innsendingu","review.commit.messagePlaceholder":"Skildu eftir autt til að búa sjálfkrafa til staðfestingarskilaboð","review.commit.nextSteps":"Næstu skref","review.commit.nextSteps.commit":"Staðfesta","review.commit.nextSteps.commitAndCreate":"Staðfesta og búa til PR","review.commit.nextSteps.commitAndPush":"Staðfesta og birta","review.commit.nextSteps.prRequiresGh":"Krefst GitHub CLI: {command}","review.commit.rows.changes":"Breytingar","review.commit.rows.commitCount":"{count, plural, one {# staðfesting} other {# staðfestingar}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# staðfestingar} other {# staðfestingar}} og {stats}","review.commit.rows.fileCount":"{count, plural, one {# skrá} other {# skrár}}","review.commit.state.error.body":"Eitthvað fór úrskeiðis við að staðfetsa. Athugaðu git-stöðuna þína og reyndu aftur.","review.commit.state.error.title":"Staðfesting mistókst","review.commit.state.success.title":"Breytingar staðfestar","review.commit.untracked.loadingStats":"Hleður óskráðri diff-tölfræði…","reviewFindingAttachments.count":"{count, plural, one {# niðurstaða} other {# niðurstöður}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Breyttu stillingunni þinni til að sérsníða hegðun fulltrúa","settings.agent.configuration.configToml.docs":"Skjöl","settings.agent.configuration.subtitle":"Þessar stillingar eiga við allstaðar þar sem Codex er notað","settings.automations.banner.danger":"Sjálfvirkni keyrir með sjálfgefnum stillingum sandkassans, sem eru nú stilltar á ótakmarkað aðgengi. Að keyra sjálfvirkni í bakgrunni með ótakmörkuðu aðgengi hefur í för með sér aukna áhættu þar sem Codex gæti breytt skrám, keyrt skipanir og fengið aðgang að neti án þess að spyrja. Íhugaðu að uppfæra stillingar sandkassans í vinnusvæðisskrif og nota <rulesDocsLink>reglur</rulesDocsLink> til að skilgreina hvaða skipanir fulltrúinn getur keyrt með ótakmörkuðu aðgengi.","settings.automations.banner.defaultHowTo.default":"Sjálfvirkni keyrir með sjálfgefnum stillingum sandkassans. Verkfæraköll munu mistakast ef þau krefjast þess að breyta skrám utan vinnusvæðisins, fá aðgang að netkerfinu eða vinna með öpp í tölvunni þinni. Þú getur valið að leyfa skipanir að keyra utan sandkassans með því að nota <rulesDocsLink>reglur</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Sjálfvirkni keyrir með sjálfgefnum stillingum sandkassans, sem eru stilltar skrifvarða stillingu. Verkfæraköll munu mistakast ef þau krefjast þess að þú breytir skrám, fáir aðgang að neti eða vinnur með öpp í tölvunni þinni. Íhugaðu að uppfæra stillingar sandkassans til að skrifa á vinnusvæðið.","settings.automations.cancel":"Hætta við","settings.automations.create":"Búa til","settings.automations.cwdEmpty":"Engar verkefnamöppur tiltækar","settings.automations.cwdLabel":"Verkefni","settings.automations.cwdPlaceholder":"Veldu möppu","settings.automations.cwdSubtitle":"Ef þú vilt að sjálfvirkni keyri á ákveðinni grein getur þú tekið það sérstaklega fram í kvaðningunni þinni.","settings.automations.delete":"Eyða","settings.automations.dialog.editTitle":"Breyta sjálfvirkni","settings.automations.dialog.newTitle":"Ný sjálfvirkni","settings.automations.dialog.subtitle":"Gerðu endurtekin verkefni sjálfvirk í bakgrunni. Codex bætir niðurstöðum í pósthólfið eða setur verkefnið sjálfkrafa í skráarsafn ef ekkert er að tilkynna. <learnMoreLink>Nánar</learnMoreLink>","settings.automations.dialog.title":"Búa til sjálfvirkni","settings.automations.executionCopy.git":"Sjálfvirkni keyrir í bakgrunninum í föstum verktrjám.","settings.automations.executionCopy.nonGit":"Sjálfvirkni í verkefnum sem ekki eru með útgáfustýringu keyrir beint í verkefnaskránni. Íhugaðu að nota Git til að virkja keyrslu í bakgrunnsverktrjám.","settings.automations.executionEnvironment.local":"Staðbundið","settings.automations.executionEnvironment.worktree":"Verktré","settings.automations.loading":"Hleður ...","settings.automations.nameLabel":"Heiti","settings.automations.namePlaceholder":"Athugaðu hvort Sentry hafi skráð vandamál","settings.automations.pause":"Gera hlé","settings.automations.promptLabel":"Skipun","settings.automations.promptPlaceholder":"leita að hrunum í $Sentry","settings.automations.resume":"Halda áfram","settings.automations.rruleSummaryFallback":"Sérstillt dagskrá","settings.automations.runNow":"Prófa","settings.automations.save":"Vista","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count} klst.","settings.automations.scheduleBadge.weekdays":"Virkri dagar","settings.automations.scheduleBadge.weekends":"Helgar","settings.automations.scheduleHeader":"Setja á dagskrá","settings.automations.scheduleHours":"klukkustundir","settings.automations.scheduleLabel":"Keyra á","settings.automations.scheduleMode.daily":"Daglega","settings.automations.scheduleMode.interval":"Millibil","settings.automations.scheduleModeLabel":"Tegund áætlunar","settings.automations.scheduleSummary.daily":"Daglega kl. {time}","settings.automations.scheduleSummary.interval":"Á {count} klst. fresti","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dag} other {# daga}}","settings.automations.scheduleSummary.intervalDays":"{interval} þann {days}","settings.automations.scheduleSummary.intervalHourly":"Á klukkustundar fresti","settings.automations.scheduleSummary.singleDay":"{day} kl. {time}","settings.automations.scheduleSummary.weekdays":"Virkir dagar kl. {time}","settings.automations.scheduleSummary.weekdaysLabel":"virkir dagar","settings.automations.scheduleSummary.weekends":"Helgar kl. {time}","settings.automations.scheduleSummary.weekendsLabel":"helgar","settings.automations.scheduleSummary.weekly":"{days} kl. {time}","settings.automations.scheduleWeekdays":"Kveikt","settings.automations.weekdayState.excluded":"Útilokað","settings.automations.weekdayState.included":"Innifalið","settings.conversationDetail.steps":"Skref","settings.conversationDetail.steps.description":"Fela skipanir og úttök","settings.conversationDetail.stepsWithCommands":"Skref með kóðaskipunum","settings.conversationDetail.stepsWithCommands.description":"Sýna skipanir, draga saman frálag","settings.conversationDetail.stepsWithOutput":"Skref með kóðafrálag","settings.conversationDetail.stepsWithOutput.description":"Sýna skipanir og draga út frálag","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ekkert spjall í skráasafni.","settings.dataControls.archivedChats.error":"Gat ekki hlaðið spjöllum úr skráarsafni.","settings.dataControls.archivedChats.loading":"Hleður spjöllum úr skráarsafni…","settings.dataControls.archivedChats.unarchive":"Taka úr skráasafni","settings.dataControls.archivedChats.unarchiveError":"Gat ekki fært spjöll úr skráarsafni…","settings.dataControls.archivedChats.unarchiveSuccess":"Þráður tekinn úr skráarsafni. <viewNowLink>Skoða</viewNowLink>","settings.dataControls.archivedChats.untitled":"Spjall án titils","settings.editRow.headerPlaceholder":"Lykill","settings.editRow.removeEntry":"Fjarlægja færslu","settings.editRow.valuePlaceholder":"Gildi","settings.general.appearance":"Útlit","settings.general.appearance.codeFont":"Leturgerð kóða","settings.general.appearance.codeFont.description":"Stilltu leturgerðina fyrir kóða í spjöllum og diffum","settings.general.appearance.codeFontFamily":"Leturgerð kóða","settings.general.appearance.codeFontSize":"Leturstærð kóða","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Láttu glugga nota einlitan bakgrunn frekar en gegnsæjan kerfisbakgrunn","settings.general.appearance.opaqueWindows.label":"Nota ógegnsæjan gluggabakgrunn","settings.general.appearance.sansFontFamily":"Steinskriftarflokkur","settings.general.appearance.sansFontFamily.description":"Stiltu leturgerðina sem notuð er í Codex notendaviðmótinu","settings.general.appearance.sansFontSize":"Leturstærð steinskriftar","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Sýna fagnaðaráhrif í öllum glugganum á meðan GPT-5.3-Codex-Spark keyrir fyrstu umferðina","settings.general.appearance.sparkCelebrationEffects.label":"Fagnaðar neistaáhrif","settings.general.appearance.theme":"Þema","settings.general.appearance.theme.dark":"Dökkt","settings.general.appearance.theme.description":"Nota ljóst, dimmt eða samsvara kerfisstillingu","settings.general.appearance.theme.light":"Ljóst","settings.general.appearance.theme.system":"Kerfi","settings.general.appearance.usePointerCursors.description":"Breyttu bendlinum í vísi þegar svifið er yfir gagnvirka þætti","settings.general.appearance.usePointerCursors.label":"Nota vísibendla","settings.general.enterBehavior.description":"Ef virkt krefst fjöllína kvaðningar {modifierSymbol} + færsluhnapps til að senda.","settings.general.enterBehavior.label":"Krefst {modifierSymbol} + færsluhnapps til að senda langar kvaðningar","settings.general.experimentalFeatures":"Tilraunaeiginleikar (Beta)","settings.general.experimentalFeatures.empty":"Engir tilrauna beta-eiginleikar tiltækir.","settings.general.experimentalFeatures.loading":"Hleður tilraunaeiginleikum…","settings.general.experimentalFeatures.restartNote":"Endurræstu Codex til að virkja breytingar á tilraunaeiginleikum","settings.general.experimentalFeatures.toggle":"Breyta {featureName}","settings.general.followUpQueueMode.description":"Settu eftirfylgni í biðröð á meðan Codex keyrir eða stýrðu núverandi keyrslu","settings.general.followUpQueueMode.interrupt":"Stýra","settings.general.followUpQueueMode.label":"Eftirfylgnisháttur","settings.general.followUpQueueMode.queue":"Biðröð","settings.general.notifications":"Tilkynningar","settings.general.power.preventSleepWhileRunning.description":"Haltu tölvunni þinni vakandi á meðan Codex keyrir þráð.","settings.general.power.preventSleepWhileRunning.label":"Koma í veg fyrir svefn á meðan keyrslu stendur","settings.git.branchPrefix.ariaLabel":"Forskeyti greinar","settings.git.branchPrefix.description":"Forskeyti notað þegar nýjar greinar eru búnar til í Codex","settings.git.branchPrefix.label":"Forskeyti greinar","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Tókst ekki að vista forskeyti greinar","settings.git.branchPrefix.save.success":"Vistað forskeyti greinar","settings.git.commitInstructions.ariaLabel":"Staðfestingarleiðbeiningar","settings.git.commitInstructions.description":"Bætt við sköpunarkvaðningar staðfestingarskilaboða","settings.git.commitInstructions.label":"Staðfestingarleiðbeiningar","settings.git.commitInstructions.placeholder":"Bættu við leiðbeiningum fyrir staðfestingarskilaboð…","settings.git.commitInstructions.save":"Vista","settings.git.commitInstructions.save.error":"Tókst ekki að vista staðfestingarleiðbeiningar","settings.git.commitInstructions.save.success":"Staðfestingarleiðbeiningar vistaðar","settings.git.forcePush.ariaLabel":"Þvinga alltaf sjálfvirkar tilkynningar","settings.git.forcePush.description":"Nota --force-with-lease þegar birt er frá Codex","settings.git.forcePush.label":"Þvinga alltaf sjálfvirkar tilkynningar","settings.git.forcePush.save.disabled":"Slökkt á þvinguðum sjálfvirkum tilkynningum","settings.git.forcePush.save.enabled":"Kveikt á þvinguðum sjálfvirkum tilkynningum","settings.git.forcePush.save.error":"Tókst ekki að vista stillingu þvingaðrar sjálfvirkrar tilkynningar","settings.git.prInstructions.ariaLabel":"Leiðbeiningar fyrir samrunabeiðnir","settings.git.prInstructions.description":"Bætt við efni samrunabeiðna búnar til af Codex","settings.git.prInstructions.label":"Leiðbeiningar fyrir samrunabeiðnir","settings.git.prInstructions.placeholder":"Bættu við leiðbeiningum fyrir samrunabeiðni…","settings.git.prInstructions.save":"Vista","settings.git.prInstructions.save.error":"Tókst ekki að vista leiðbeiningar fyrir samrunabeiðnir","settings.git.prInstructions.save.success":"Leiðbeiningar fyrir samrunabeiðnir vistaðar","settings.ide.defaultOpenTarget.description":"Þar sem skrár og möppur opnast sjálfkrafa","settings.ide.defaultOpenTarget.label":"Sjálfgefin staðsetning opnunar","settings.ide.defaultOpenTarget.placeholder":"Engin markmið fundust","settings.ide.language.auto":"Greina sjálfkrafa","settings.ide.language.autoOption":"Greina sjálfkrafa","settings.ide.language.description":"Tungumál viðmóts apps","settings.ide.language.label":"Tungumál","settings.ide.language.search":"Leitartungumál","settings.layout.actionButton":"Byrja aftur á lengingu","settings.layout.actionTitle":"Stillingar með aðgerðum","settings.layout.fullWidthTitle":"Stillingar (full breidd)","settings.layout.title":"Stillingar","settings.localEnvironments.actions.add":"Bæta við aðgerð","settings.localEnvironments.actions.add.description":"Búa til nýja skipun til að keyra úr tækjastikunni.","settings.localEnvironments.actions.add.save":"Vista","settings.localEnvironments.actions.empty":"Bæta við aðgerð til að keyra skipanir úr staðbundnu tækjastikunni.","settings.localEnvironments.actions.icon.debug":"Villuleit","settings.localEnvironments.actions.icon.run":"Keyra","settings.localEnvironments.actions.icon.test":"Prófa","settings.localEnvironments.actions.icon.tool":"Verkfæri","settings.localEnvironments.actions.item.button.delete":"Eyða","settings.localEnvironments.actions.item.command":"Aðgerðarskrifta","settings.localEnvironments.actions.item.name":"Heiti","settings.localEnvironments.actions.item.platforms":"Vettvangar","settings.localEnvironments.actions.item.platforms.help":"Aðeins keyra á tilteknu stýrikerfi.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Val á vettvangi","settings.localEnvironments.actions.item.platforms.specific":"Sértækt fyrir vettvang","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Eyða","settings.localEnvironments.actions.title":"Aðgerðir","settings.localEnvironments.breadcrumb.back":"Til baka","settings.localEnvironments.breadcrumb.edit":"breyta","settings.localEnvironments.breadcrumb.root":"Umhverfi","settings.localEnvironments.environment.actions.description":"Þessar aðgerðir geta keyrt hvaða skipun sem er og verða sýndar í síðuhausnum.","settings.localEnvironments.environment.actionsLabel":"Aðgerðir","settings.localEnvironments.environment.create":"Búðu til staðbundið umhverfi","settings.localEnvironments.environment.defaultName":"staðbundið","settings.localEnvironments.environment.edit":"Breyttu staðbundnu umhverfi","settings.localEnvironments.environment.empty":"Staðbundið umhverfi hefur ekki verið búið til fyrir þetta verkefni ennþá.","settings.localEnvironments.environment.name":"Heiti","settings.localEnvironments.environment.setup":"Uppsetningarskrift","settings.localEnvironments.environment.setup.description":"Þessi skrifta keyrir þegar vinnutré er stofnað.","settings.localEnvironments.environment.setup.hint":"Keyrir í rót verkefnisins.","settings.localEnvironments.environment.setup.platformOverrides":"Yfirskriftir vettvangs","settings.localEnvironments.environment.setup.platformOverrides.add":"Bæta við {platform} uppsetningarskrift","settings.localEnvironments.environment.setup.platformOverrides.description":"Yfirskrifar sjálfgefna skriftu fyrir ákveðin stýrikerfi.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Fjarlægja","settings.localEnvironments.environment.setup.script":"Skrifta","settings.localEnvironments.environment.title":"Upplýsingar um umhverfi","settings.localEnvironments.file.missing":"Vista til að búa til þessa skrá í fyrsta sinn.","settings.localEnvironments.file.parseError":"Ekki tókst að túlka núverandi skrá. Með því að vista verður skrifað yfir hana. ({error})","settings.localEnvironments.file.path":"Skrá: {path}","settings.localEnvironments.file.readError":"Ekki tókst að hlaða inn gögnum staðbundins umhverfis. ({error} )","settings.localEnvironments.file.title":"Skrá staðbundins umhverfis","settings.localEnvironments.loading.body":"Sækir stillingar verkefnisins þíns.","settings.localEnvironments.loading.title":"Hleður staðbundnum umhverfum","settings.localEnvironments.preview.devOnly":"(Aðeins DEV)","settings.localEnvironments.preview.save":"Vista","settings.localEnvironments.preview.saveError":"Ekki tókst að vista skrá. ({error})","settings.localEnvironments.preview.title":"Forskoða","settings.localEnvironments.save.disabled.name":"Bættu við heiti umhverfis til að vista.","settings.localEnvironments.save.disabled.noChanges":"Engar breytingar til að vista.","settings.localEnvironments.save.disabled.saving":"Vistar...","settings.localEnvironments.save.success":"Staðbundið umhverfi vistað","settings.localEnvironments.unavailable.body":"Ekki tókst að hlaða inn stillingum staðbundins umhverfis fyrir þetta verkefni.","settings.localEnvironments.unavailable.title":"Staðbundin umhverfi ekki tiltæk","settings.localEnvironments.workspace.add":"Bæta við verkefni","settings.localEnvironments.workspace.title":"Verkefni","settings.localEnvironments.workspaceSelect.addLabel":"Bæta við umhverfi","settings.localEnvironments.workspaceSelect.description":"Staðbundin umhverfi segja Codex hvernig skal setja upp verktré fyrir verkefni. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Engin verkefni ennþá. Bættu við verkefni til að stilla staðbundin umhverfi.","settings.localEnvironments.workspaceSelect.errorLabel":"Athuga þarf umhverfið","settings.localEnvironments.workspaceSelect.learnMore":"Nánar","settings.localEnvironments.workspaceSelect.listLabel":"Tiltæk verkefni","settings.localEnvironments.workspaceSelect.loading":"Hleður verkefnum.","settings.localEnvironments.workspaceSelect.loadingLabel":"Verið að hlaða umhverfi","settings.localEnvironments.workspaceSelect.title":"Velja verkefni","settings.localEnvironments.workspaceSelect.viewAction":"Skoða","settings.mcp.addServer":"Bæta við þjóni","settings.mcp.app.configure":"Stilla","settings.mcp.app.connect":"Tengja","settings.mcp.apps.refresh":"Endurnýja","settings.mcp.detail.addArgument":"Bæta við frumgildi","settings.mcp.detail.addEnvVar":"Bæta við umhverfisbreytu","settings.mcp.detail.addEnvVarPassthrough":"Bæta við breytu","settings.mcp.detail.args":"Frumgildi","settings.mcp.detail.back":"Til baka","settings.mcp.detail.command":"Skipun um að ræsa","settings.mcp.detail.cwd":"Vinnuskráarsafn","settings.mcp.detail.docs":"Opna MCP-skjöl","settings.mcp.detail.docs.link":"Skjöl","settings.mcp.detail.envVarPassthrough":"Gegnumganga umhverfisbreytu","settings.mcp.detail.envVars":"Umhverfisbreytur","settings.mcp.detail.http.addEnvHeader":"Bæta við breytu","settings.mcp.detail.http.addHeader":"Bæta við haus","settings.mcp.detail.http.bearerToken":"Tákn handhafa env var","settings.mcp.detail.http.envHeaders":"Hausar frá umhverfisbreytum","settings.mcp.detail.http.headers":"Hausar","settings.mcp.detail.http.url":"Vefslóð","settings.mcp.detail.name":"Heiti","settings.mcp.detail.save":"Vista","settings.mcp.detail.switchTransportNotice":"Ef þú vilt skipta um MCP-þjónstegund skaltu fyrst fjarlægja hugbúnaðinn.","settings.mcp.detail.titleExisting":"Uppfæra {name} MCP","settings.mcp.detail.titleNew":"Tengja við sérsniðið MCP","settings.mcp.detail.transport.http":"HTTP sem hægt er að streyma","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Fjarlægja","settings.mcp.empty":"Engir sérsniðnir MCP-þjónar tengdir","settings.mcp.myServers":"Sérsniðnir þjónar","settings.mcp.partnerServer.description.figma":"Búðu til betri kóða með því að notfæra allt Figma-samhengi","settings.mcp.partnerServer.description.github":"Innleiddu með GitHub API til að gera vinnuferli sjálfvirk og draga út gögn","settings.mcp.partnerServer.description.linear":"Innleiddu vandamálavöktun Linear og verkefnaumsjón","settings.mcp.partnerServer.description.notion":"Lestu skjöl, uppfærðu síður, hafðu umsjón með verkefnum","settings.mcp.partnerServer.description.playwright":"Innleiddu sjálfvirkni vefvafra til að innleiða hönnun og prófa notendaviðmót.","settings.mcp.partnerServer.install":"Setja upp","settings.mcp.partnerServer.installAndAuthenticate":"Setja upp og staðfesta","settings.mcp.partnerServer.logoAlt":"Lógó {label}","settings.mcp.partnerServer.manage":"Stjórna","settings.mcp.partnerServer.vendor":"eftir {vendor}","settings.mcp.recommendedServers":"Ráðlagðir þjónar","settings.mcp.restartApp":"Byrja aftur","settings.mcp.restartExtension":"Byrja aftur á lengingu","settings.mcp.server.enable":"Kveikja","settings.mcp.server.login":"Staðfesta auðkenni","settings.mcp.server.settings":"Stillingar","settings.multiselect.createOption":"Búa til „{value}“","settings.multiselect.removeOption":"Fjarlægja","settings.nav.account":"Reikningur","settings.nav.agent":"Stilling","settings.nav.ariaLabel":"Stillingar","settings.nav.back":"Til baka í app","settings.nav.data-controls":"Þræðir í skráarsafni","settings.nav.environments":"Skýjaumhverfi","settings.nav.externalTooltip":"[alpha] Opnast í vafra","settings.nav.general-settings":"Almennt","settings.nav.git-settings":"Git","settings.nav.local-environments":"Umhverfi","settings.nav.mcp-settings":"MCP-þjónar","settings.nav.notImplemented":"[alpha] Ekki í boði í Alpha","settings.nav.personalization":"Sérsnið","settings.nav.skills-settings":"Hæfileikar","settings.nav.usage-analytics":"Notkun og greining","settings.nav.worktrees":"Verktré","settings.openSourceLicenses.back":"Til baka","settings.openSourceLicenses.loading":"Hleður ...","settings.openSourceLicenses.missing":"Engir fyrirvarar þriðja aðila fundust.","settings.openSourceLicenses.notSupported":"Ekki í boði í þessum hýsingaraðila enn.","settings.openSourceLicenses.rowDescription":"Fyrirvarar þriðja aðila fyrir samantekin ákvæði","settings.openSourceLicenses.rowLabel":"Leyfi fyrir opinn hugbúnað","settings.openSourceLicenses.subtitle":"Fyrirvarar þriðja aðila fyrir ákvæði fylgir með þessu appi","settings.openSourceLicenses.title":"Leyfi fyrir opinn hugbúnað","settings.openSourceLicenses.view":"Skoða","settings.personalization.agents.description":"Breyttu leiðbeiningum til að sérsníða Codex að þínum þörfum. {learnMore}","settings.personalization.agents.learnMore":"Nánar","settings.personalization.agents.loadError":"Tókst ekki að hlaða fulltrúum.md.","settings.personalization.agents.loading":"Hleður fulltrúum.md…","settings.personalization.agents.placeholder":"Bættu við sérsniðnum leiðbeiningum…","settings.personalization.agents.retry":"Reyna aftur","settings.personalization.agents.save":"Vista","settings.personalization.agents.save.error":"Gat ekki vistað fulltrúa.md","settings.personalization.agents.save.success":"Vistaðir fulltrúar.md","settings.personalization.agents.title":"Sérsniðnar leiðbeiningar","settings.personalization.personality.description":"Veldu sjálfgefin tón fyrir svör Codex","settings.personalization.personality.label":"Persónuleiki","settings.sample.contentBody":"Notaðu þetta útlitssnið til að búa til stillingaglugga með samræmdum bilum.","settings.sample.contentTitle":"Dæmi um efnisblokk","settings.section.account":"Reikningur","settings.section.agent":"Stilling","settings.section.data-controls":"Þræðir í skráarsafni","settings.section.environments":"Skýjaumhverfi","settings.section.external":"Opnast í vafranum þínum á Alpha-stigi","settings.section.general-settings":"Almennt","settings.section.git-settings":"Git","settings.section.local-environments":"Umhverfi","settings.section.mcp-settings":"MCP-þjónar","settings.section.mcp-settings.docs":"Skjöl","settings.section.mcp-settings.subtitle":"Tengdu ytri verkfæri og gagnaheimildir.","settings.section.personalization":"Sérsnið","settings.section.skills-settings":"Hæfileikar","settings.section.unavailable":"Ekki í boði í Alpha ennþá","settings.section.usage-analytics":"Notkun og greining","settings.section.worktrees":"Verktré","settings.threadDetail.description":"Veldu hve mikið skipanafrálag á að sýna í þráðum","settings.threadDetail.label":"Smáatriði þráða","settings.worktrees.conversation.untitled":"Samtal án titils","settings.worktrees.delete.error":"Tókst ekki að eyða verktré","settings.worktrees.empty.body":"Verktré sem Codex býr til munu birtast hér.","settings.worktrees.empty.title":"Engin verktré enn sem komið er","settings.worktrees.error.body":"Eitthvað fór úrskeiðis við að hlaða verktrjám.","settings.worktrees.error.retry":"Reyna aftur","settings.worktrees.error.title":"Tókst ekki að hlaða verktrjám","settings.worktrees.loading.body":"Sækir upplýsingar um verktré.","settings.worktrees.loading.title":"Hleður verktrjám","settings.worktrees.repository.loading":"Hleður lýsigögnum gagnahirslu…","settings.worktrees.repository.unknown":"Óþekkt gagnahirsla","settings.worktrees.row.conversations":"Samtöl","settings.worktrees.row.conversations.empty":"Engin samtöl tengd við þetta verktré.","settings.worktrees.row.conversations.loading":"Hleður samtölum…","settings.worktrees.row.delete":"Eyða","settings.worktrees.row.title":"Verktré","sidebarElectron.addWorkspaceRoot":"Bæta við nýju verkefni","sidebarElectron.archiveThread":"Setja þráð í skráarsafn","sidebarElectron.archiveThreadError":"Ekki tókst að setja þráð í skráasafn","sidebarElectron.collapseFolder":"Draga saman möppu","sidebarElectron.createStableWorktree.dialog.cancel":"Hætta við","sidebarElectron.createStableWorktree.dialog.create":"Búa til","sidebarElectron.debugNavLink":"Villuleit","sidebarElectron.editWorkspaceRootOptionName":"Breyta heiti","sidebarElectron.expandFolder":"Stækka möppu","sidebarElectron.groupByMenu.recency":"Listi í tímaröð","sidebarElectron.groupByMenu.title":"Skipuleggja","sidebarElectron.groupByMenu.workspace":"Eftir verkefni","sidebarElectron.inboxRouteNavLink":"Sjálfvirkni","sidebarElectron.markThreadUnread":"Merkja sem ólesið","sidebarElectron.missingWorkspaceRoot":"Þessari verkefnamöppu var eytt eða hún var færð","sidebarElectron.newThread":"Nýr þráður","sidebarElectron.newThreadInGroup":"Opna nýjan þráð í {folder}","sidebarElectron.noRecentThreads":"Engir nýlegir þræðir","sidebarElectron.noTasks":"Engir þræðir","sidebarElectron.noTasks.start":"Bæta við nýju verkefni","sidebarElectron.noTasksWithFilter":"Engir þræðir passa við síur","sidebarElectron.pinnedThreads":"Festir þræðir","sidebarElectron.recentNavLink":"Þræðir","sidebarElectron.recentThreads":"Nýlegir þræðir","sidebarElectron.removeWorkspaceRootOption":"Fjarlægja","sidebarElectron.renameThread":"Endurnefna þráð","sidebarElectron.renameThreadDialogAriaLabel":"Titill þráðs","sidebarElectron.renameThreadDialogCancel":"Hætta við","sidebarElectron.renameThreadDialogPlaceholder":"Bæta við titli…","sidebarElectron.renameThreadDialogSave":"Vista","sidebarElectron.renameThreadDialogSubtitle":"Hafðu titilinn stuttan og auðþekkjanlegan.","sidebarElectron.renameThreadDialogTitle":"Endurnefna þráð","sidebarElectron.renameThreadError":"Tókst ekki að endurnefna þráð","sidebarElectron.renameWorkspaceRootOptionLabel":"Skjáheiti","sidebarElectron.showLess":"Sýna minna","sidebarElectron.showMenu.all":"Allir þræðir","sidebarElectron.showMenu.relevant":"Viðeigandi","sidebarElectron.showMenu.relevantHint":"Sýna aðeins nýlega þræði fyrir núverandi grein, verktré eða aðra þræði sem þarfnast athygli þinnar","sidebarElectron.showMenu.title":"Sýna","sidebarElectron.showMenu.tooltip":"Sía, raða og skipuleggja spjallþræði","sidebarElectron.showMenu.trigger":"Sía umræður í hliðarstiku","sidebarElectron.showMore":"Sýna meira","sidebarElectron.skillsRouteNavLink":"Hæfileikar","sidebarElectron.sortMenu.created":"Búið til","sidebarElectron.sortMenu.title":"Raða eftir","sidebarElectron.sortMenu.updated":"Uppfært","sidebarElectron.taskNavigation":"Sjálfvirknimöppur","sidebarElectron.tasksInFolder":"Sjálfvirkniferli í {folder}","sidebarElectron.workspaceOptions":"Aðgerðir verkefna fyrir {folder}","sidebarElectron.worktreeGroupTooltip":"Þetta er git-verktré","skills.appsPage.createSkill":"Nýr hæfileiki","skills.appsPage.empty.skills":"Engir hæfileikar fundust","skills.appsPage.search.skills":"Leita að hæfileikum","skills.appsPage.search.skills.label":"Leita að hæfileikum","skills.appsPage.section.installedApps":"Uppsett","skills.appsPage.section.skills":"Hæfileikar","skills.appsPage.subheading":"Ljáðu Codex ofurkrafta.<link>Nánar</link>","skills.appsPage.tab.recommended":"Mælt með","skills.appsPage.tab.skills":"Hæfileikar","skills.card.contentsError":"Tókst ekki að hlaða hæfileikainnihaldi.","skills.card.disable":"Slökkva","skills.card.disableSuccess":"Slökkt á {skillName} hæfileika","skills.card.disabledBadge":"Slökkt","skills.card.enable":"Kveikja","skills.card.enableSuccess":"{skillName} hæfileiki virkjaður","skills.card.loadingContents":"Hleður inn hæfileikaefni…","skills.card.more":"Fleiri aðgerðir","skills.card.open":"Opna","skills.card.removeFailed":"Tókst ekki að fjarlægja hæfileika","skills.card.removeSuccess":"{skillName} hæfileiki fjarlægður","skills.card.toggleEnabledError":"Tókst ekki að uppfæra hæfileika","skills.card.try":"Prófa","skills.card.trySkill":"Prófa hæfileika","skills.card.uninstall":"Fjarlægja","skills.hero.dotLabel":"Fara á skyggnu {index}","skills.hero.next":"Hæfileiki næsta eiginleika","skills.hero.trySkill":"Prófa hæfileika","skills.page.createSkill":"Nýr hæfileiki","skills.page.empty":"Engir hæfileikar fundust","skills.page.filteredEmpty":"Engir hæfileikar passa við síurnar þínar","skills.page.filteredEmptyDescription":"Reyndu að fínstilla leitina eða stillingar fyrir umfang","skills.page.heading":"Hæfileikar","skills.page.loading":"Hleður hæfileikum…","skills.page.refreshSkills":"Endurnýja","skills.page.refreshSkillsToUseNew":"Endurhladdu til að nota nýjan/nýja hæfileika","skills.page.search":"Leita að hæfileikum","skills.page.search.label":"Leita að hæfileikum","skills.page.subheading":"Ljáðu Codex ofurkrafta.<link>Nánar</link>","skills.preview.copyPrompt":"Afrita skipun","skills.preview.examplePrompt":"Dæmi um kvaðningu","skills.recommended.error":"Tókst ekki að hlaða hæfileikum sem mælt er með","skills.recommended.install":"Setja upp","skills.recommended.installSkill":"Setja upp hæfileika","skills.recommended.installSuccess":"{skillName} hæfileiki settur upp","skills.recommended.installed":"Uppsett","skills.scope.admin":"Stjórnandi","skills.scope.adminInstalled":"Umsjónarmaður settur upp","skills.scope.builtIn":"Kerfi","skills.scope.personal":"Persónulegt","skills.scope.repo":"Gagnahirsla","skills.scope.system":"Kerfi","skills.scope.team":"Team","skills.scope.user":"Notandi","skills.section.installed":"Uppsett","skills.section.recommended":"Mælt með","story.slidingToggle.existing":"Núverandi","story.slidingToggle.fromLocal":"Frá staðbundnu","story.slidingToggle.new":"Nýtt","story.slidingToggle.toLocal":"Í staðbundið","terminal.close":"Loka útstöð","terminal.title":"Útstöð","thinkingShimmer.default":"Hugsar","threadEnvIcon.cloudTooltip":"Þetta samtal er keyrt í Codex Cloud.","threadEnvIcon.localTooltip":"Þetta samtal er keyrt staðbundið.","threadEnvIcon.worktreeTooltip":"Þetta samtal er í staðbundnu git-verktré","threadHeader.archiveConfirmCancel":"Hætta við","threadHeader.archiveConfirmConfirm":"Setja í skráasafn","threadHeader.copySessionId":"Afrita auðkenni lotu","threadHeader.copyWorkingDirectory":"Afrita vinnuskráarsafn","threadHeader.forkIntoLocal":"Gaffla í staðbundið","threadHeader.forkIntoWorktree":"Gaffla í nýtt verktré","threadHeader.forkPendingWorktreePrompt":"Gafflaðu þessu samtali í nýtt verktré.","threadHeader.forkPendingWorktreeTitle":"Gafflað samtal","threadHeader.forkThreadError":"Tókst ekki að gaffla þráð","threadHeader.forkThreadRequiresGitRepo":"Að gaffla í nýtt verktré krefst git-geymslu","threadHeader.moreActions":"Aðgerðir þráðar","threadPage.newThread":"Nýr þráður","threadPage.runAction.changeEnvironment":"Breyta um umhverfi","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} aðgerðir","threadPage.runAction.environmentSelector.label":"Velja umhverfi","threadPage.runAction.label":"Keyra","threadPage.runAction.missing.label":"Setja upp keyrsluaðgerð","threadPage.runAction.setup.commandLabel":"Skipun um að keyra","threadPage.runAction.setup.description":"Segðu Codex hvernig ákvæði eru sett upp og hvernig appið þitt er ræst.","threadPage.runAction.setup.editMore":"Umhverfisstillingar","threadPage.runAction.setup.placeholder":"t.d.: npm install npm run","threadPage.runAction.setup.submit":"Vista og keyra","threadPage.runAction.setup.title":"Keyra","threadPage.runAction.tooltip.withEnvironment":"{environmentName} aðgerðir","threadPage.toggleDiffPanel":"Skipta um diff-borð","threadPage.toggleTerminal":"Skipta um útstöð","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Opna möppu","toolSummaryForCmd.exploredFiles":"<verb>Skráðar</verb> skrár","toolSummaryForCmd.exploredFilesInPath":"<verb>Skráðar</verb> skrár í {path}","toolSummaryForCmd.exploringFiles":"<verb>Skráir</verb> skrár","toolSummaryForCmd.exploringFilesInPath":"<verb>Skráir</verb> skrár í {path}","toolSummaryForCmd.ranGenericCommand":"<status>Keyrði skipun</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Keyrði</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lesa</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Keyrir skipun</status>{timer}","toolSummaryForCmd.runningTimer":"fyrir {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Leitaði</verb> að {query}","toolSummaryForCmd.searchedForFiles":"<verb>Leitaði</verb> að skrám","toolSummaryForCmd.searchedForInPath":"<verb>Leitaði</verb> að {query} í {path}","toolSummaryForCmd.searchingFor":"<verb>Leitar</verb> að {query}","toolSummaryForCmd.searchingForFiles":"<verb>Leitar</verb> að skrám","toolSummaryForCmd.searchingForInPath":"<verb>Leitar</verb> að {query} í {path}","traceRecording.startDetails.cancel":"Hætta við","wham.diff.addComment":"Bæta við ummælum","wham.diff.binaryFile":"Tvíundarskrá ekki sýnd","wham.diff.noContent":"Ekkert innihald","wham.fileTag.deleted":"Eytt","wham.fileTag.new":"Nýtt","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} klst.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} mín.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}má","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}v","wham.formattedRelativeDateTime.compactYearsAgo":"{value}á","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Vinnur í verkefninu","wham.whamProposedTask.title":"Tillaga að verkefni","wham.whamProposedTask.useSuggestion":"Nota tillögu","workspaceRootDialog.addError":"Tókst ekki að bæta við verkefni","workspaceRootDialog.cancel":"Hætta við","workspaceRootDialog.confirmAdd":"Bæta við verkefni","workspaceRootDialog.confirmPick":"Nota verkefni","workspaceRootDialog.description":"Sláðu inn slóð á {host} til að nota sem verkefni.","workspaceRootDialog.pathLabel":"Slóð verkefnis","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Bæta við slóð verkefnis","workspaceRootDialog.title.pick":"Veldu slóð verkefnis","worktreeInitV2.cancel":"Hætta við","worktreeInitV2.notification.failedTitle":"Uppsetning vinnutrés mistókst","worktreeInitV2.output.empty":"Beðið eftir niðurstöðu…","worktreeInitV2.status.error":"Uppsetning vinnutrés mistókst.","worktreeInitV2.status.running":"Verið er að búa til vinnutré og uppsetning er í gangi.","worktreeInitV2.status.runningFork":"Býr til verktré til að gaffla þetta samtal.","worktreeInitV2.status.success":"Vinnutré er tilbúið.","worktreeInitV2.title":"Býr til verktré","worktreeInitV2.workLocallyInstead":"Vinna staðbundið í staðinn","worktreeRestoreBanner.body":"Þráður þessa verktrés var fjarlægður til að spara geymslupláss","worktreeRestoreBanner.missing.body":"Verkskráarslóð þessa þráðs er ekki lengur til","worktreeRestoreBanner.missing.title":"Núverandi verkskráarslóð vantar","worktreeRestoreBanner.restore.error":"Ekki tókst að endurheimta verktré: {message}","worktreeRestoreBanner.restore.success":"Verktré endurheimt","worktreeRestoreBanner.restoreCta":"Endurheimta verktré","worktreeRestoreBanner.title":"Verktré snyrt"};export{e as default};
+const e={"CopyButton.copyTooltip":"Afrita","app.sidebar.hide":"Fela hliðarstiku","app.sidebar.show":"Sýna hliðarstiku","app.sidebar.tooltip":"Sýna/fela hliðarstiku","appHeader.installUpdate":"Uppfæra","appSunset.body":"Þessi útgáfa af appinu er ekki lengur studd. Sæktu nýjustu útgáfuna <here>hér</here>.","appSunset.title":"Uppfærsla nauðsynleg","automation.updateDirective.create":"Búa til","automation.updateDirective.open":"Opna","automation.updateDirective.untitled":"Ónefnd sjálfvirkni","automation.updateDirective.update":"Uppfæra","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# tilraun} other {# tilraunir}}","cloudTaskRow.archiveError":"Ekki tókst að setja verkefni í skráasafn","code.diff.requestChange":"Biðja um breytingu","code.diffComment.cancel":"Hætta við","code.diffComment.comment":"Ummæli","code.diffComment.delete":"Eyða","code.diffComment.save":"Vista","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Engar niðurstöður voru tilkynntar.","codex.alert.closeAriaLabel":"Loka","codex.appUpsellBanner.cbpApi.message":"Byggðu hraðar með Codex-appinu. Sæktu það núna eða {learnMoreLink}.","codex.appUpsellBanner.download":"Sækja","codex.appUpsellBanner.freeGo.message":"Codex fylgir með áskriftinni þinni til 2. mars. Prófaðu Codex-appið til að byggja hraðar.","codex.appUpsellBanner.later":"Seinna","codex.appUpsellBanner.learnMoreLowercase":"nánar","codex.appUpsellBanner.new":"Nýtt","codex.appUpsellBanner.proPlusBusiness.message":"Prófaðu Codex-appið með tvöfaldri hámarkstíðni til 2. apríl. Sæktu appið núna eða {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-appið","codex.applyDropdown.header.changes":"Breytingar","codex.applyDropdown.header.fileCount":"{count, plural, one {# skrá} other {# skrár}}","codex.applyDropdown.header.rows":"línur","codex.applyDropdown.header.title":"Virkja breytingar","codex.applyDropdown.header.workspace":"Verkefni","codex.applyDropdown.results.conflicted":"{count, plural, one {1 skrá með ósamræmi:} other {{count} skrár með ósamræmi:}}","codex.applyDropdown.results.empty":"Engar skrár voru afritaðar","codex.applyDropdown.results.skipped":"{count, plural, one {1 skrá sleppt:} other {{count} skrám sleppt:}}","codex.applyOrRevertBanner.apply":"Nota","codex.applyOrRevertBanner.applyMessage":"Nota breytingar og halda áfram staðbundið?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Verkefnið var búið til í {environment}, þannig að hugsanlega geta komið upp vandamál við notkun.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Breytingar voru gerðar í {environment} þannig að mögulega eru vandamál með þær.","codex.applyOrRevertBanner.reapply":"Nota aftur","codex.applyOrRevertBanner.revert":"Afturkalla","codex.applyOrRevertBanner.revertMessage":"Afturkalla notaðar breytingar?","codex.applyResultsDialog.applied":"Notað án vandamála ({count})","codex.applyResultsDialog.close":"Loka","codex.applyResultsDialog.conflicted":"Með ósamræmi ({count})","codex.applyResultsDialog.noDetails":"Engar upplýsingar um skrá tiltækar.","codex.applyResultsDialog.skipped":"Sleppt ({count})","codex.applyResultsDialog.title":"Niðurstöður notkunar","codex.archiveInfo":"Skoða spjall í skráasafni í {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Gagnastýringar","codex.archiveInfo.electron":"Skoða spjall í skráasafni í {settingsLink}.","codex.archiveInfo.extension":"Skoðaðu spjöll í skráarsafni í .codex-möppunni þinni.","codex.archiveInfo.settingsLink":"Stillingar","codex.banner.content.description":"Keyrðu verkefni samtímis, fylgstu með framvindunni hvar sem er og farðu yfir samrunabeiðnir með gervigreind.","codex.banner.content.headline":"Codex getur allt.","codex.cloudTaskRow.archiveTask":"Setja verkefni í skráasafn","codex.cloudTaskRow.confirmArchiveTask":"Staðfesta","codex.command.feedback":"Ábending","codex.command.findInThread":"Finna","codex.command.forceReloadSkills":"Þvinga endurhlöðun hæfileika","codex.command.logOut":"Skrá út","codex.command.manageTasks":"Stjórna verkefnum","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Til baka","codex.command.navigateForward":"Áfram","codex.command.newThread":"Nýr þráður","codex.command.nextThread":"Næsti þráður","codex.command.openFolder":"Opna möppu","codex.command.openSkills":"Engir hæfileikar","codex.command.openThreadOverlay":"Sprettiþráður","codex.command.personalitySettings":"Persónuleiki","codex.command.previousThread":"Fyrri þráður","codex.command.settings":"Stillingar","codex.command.toggleDiffPanel":"Skipta um diff-borð","codex.command.toggleSidebar":"Sýna/fela hliðarstiku","codex.command.toggleTerminal":"Skipta um útstöð","codex.commandGroup.app":"App","codex.commandGroup.configure":"Stilla","codex.commandGroup.navigation":"Fletting","codex.commandGroup.panels":"Panelar","codex.commandGroup.skills":"Hæfileikar","codex.commandGroup.thread":"Þráður","codex.commandGroup.workspace":"Verkefni","codex.commandMenu.noResults":"Engar niðurstöður","codex.commandMenu.searchPlaceholder":"Leita að skipunum","codex.commandMenu.suggestedGroup":"Tillaga","codex.commandMenu.switchWorkspace":"Skipta um verkefni","codex.commandMenu.title":"Skipanavalmynd","codex.common.retry":"Reyna aftur","codex.composer.searchBranches":"Leita í greinum","codex.dialog.basic.body":"Þetta er einfalt gluggaviðmót (modal) sem notar umbúðir okkar utan um Radix Dialog.","codex.dialog.basic.cancel":"Hætta við","codex.dialog.basic.confirm":"Staðfesta","codex.dialog.basic.open":"Opna frásögn","codex.dialog.basic.title":"Dæmi um frásögn","codex.dialog.long.close":"Loka","codex.dialog.long.line":"Skrunanleg {index}sem sýnir hvernig langt efni birtist í glugganum.","codex.dialog.long.open":"Opna langa frásögn","codex.dialog.long.title":"Löng frásögn","codex.dialog.unstyled.body":"Þessi saga sýnir hvernig þeir sem hringja geta stjórnað algerlega stílbragði frásagnarefni.","codex.dialog.unstyled.open":"Opna óstílfært frásagnarefni","codex.dialog.unstyled.title":"Óstílfært efni","codex.diff.openInEditorPrompt.openButton":"Opna í ritli","codex.diff.openInEditorPrompt.singleLine":"Þessi skrá er of stór til að birta hana hér.","codex.diffView.failedToDecodeBase64Diff":"Ekki tókst að afkóða base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {# skrá breytt} other {# skrám breytt}}","codex.diffView.imagePreviewAlt":"Forskoðun myndar","codex.diffView.imagePreviewEmpty":"Engin mynd","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Engar breytingar fundust","codex.diffView.pdfPreview.nextPage":"Næsta síða","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Fyrri síða","codex.diffView.pdfPreviewEmpty":"Engin PDF-forskoðun","codex.diffView.pdfPreviewError":"Ekki tókst að birta PDF-forskoðun","codex.diffView.richPreviewDisable":"Slökkva á ítarlegri forskoðun","codex.diffView.richPreviewEnable":"Virkja ítarlega forskoðun","codex.diffView.richPreviewLoading":"Hleður forskoðun…","codex.diffView.richPreviewToggle":"Skipta um ítarlega forskoðun","codex.diffView.switchToUnified":"Skipta í sameinaðan samanburð","codex.environmentSelector.noEnvironment":"Ekkert umhverfi","codex.environments.environmentSettings":"Umhverfisstillingar","codex.environments.learnMore":"Nánar","codex.environments.listError":"Ekki tókst að hlaða umhverfi","codex.environments.noEnvironmentsFound":"Engin umhverfi fundust","codex.environments.searchError":"Ekki tókst að leita í umhverfum.","codex.errorBoundary.genericError":"Úps, villa kom upp","codex.errorBoundary.goHome":"Reyna aftur","codex.file.patch.missing":"Gat ekki búið til bót fyrir þessa skrá.","codex.gallery.automations.cwdLabel":"Verkefni","codex.gallery.automations.nameLabel":"Heiti","codex.gallery.automations.namePlaceholder":"Gera samantekt á verkefni","codex.gallery.automations.promptLabel":"Skipun","codex.gallery.automations.promptPlaceholder":"Lýstu því sem Codex á að gera","codex.gallery.dialogs.automation.label":"Sjálfvirknisfrásögn","codex.gallery.dialogs.basic.body":"Notaðu þetta útlitssnið fyrir hreinskiptar staðfestingar eða stutt eyðublöð.","codex.gallery.dialogs.basic.cancel":"Hætta við","codex.gallery.dialogs.basic.confirm":"Staðfesta","codex.gallery.dialogs.basic.label":"Grunnfrásögn","codex.gallery.dialogs.basic.title":"Dæmi um frásögn","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Lýstu vandamálinu","codex.gallery.dialogs.feedbackSubmission.bad":"Slæm niðurstaða","codex.gallery.dialogs.feedbackSubmission.bug":"Villa","codex.gallery.dialogs.feedbackSubmission.good":"Góð niðurstaða","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Hafa með skrár um núverandi Codex-lotu","codex.gallery.dialogs.feedbackSubmission.label":"Ábending send inn","codex.gallery.dialogs.feedbackSubmission.other":"Annað","codex.gallery.dialogs.feedbackSubmission.placeholder":"Lýstu vandamálinu hér","codex.gallery.dialogs.feedbackSubmission.submit":"Senda","codex.gallery.dialogs.feedbackSubmission.title":"Ábending","codex.gallery.dialogs.feedbackSuccess.body":"Ábendingu hlaðið upp. Ef vandamálið leysist ekki skaltu opna GitHub-vandamál eða nefna auðkenni þráðsins í núverandi opnu vandamáli:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Hunsa","codex.gallery.dialogs.feedbackSuccess.label":"Tókst að senda inn ábendingu","codex.gallery.dialogs.feedbackSuccess.title":"Ábendingu hlaðið upp","codex.gallery.dialogs.gitApplyResults.applied":"Notað án vandamála (2)","codex.gallery.dialogs.gitApplyResults.close":"Loka","codex.gallery.dialogs.gitApplyResults.conflicted":"Með ósamræmi (1)","codex.gallery.dialogs.gitApplyResults.label":"Niðurstöður notkunar","codex.gallery.dialogs.gitApplyResults.title":"Niðurstöður notkunar","codex.gallery.dialogs.gitPushError.body":"Afturkallaðu nýjustu breytingar eða þvingaðu birtingu ef þú veist að það er öruggt að rita yfir fjarferillinn.","codex.gallery.dialogs.gitPushError.cancel":"Hætta við","codex.gallery.dialogs.gitPushError.force":"Þvinga birtingu","codex.gallery.dialogs.gitPushError.label":"Birta villu","codex.gallery.dialogs.gitPushError.subtitle":"Greinin þín er aftan við uppruna/aðal.","codex.gallery.dialogs.gitPushError.title":"Tókst ekki að birta breytingar","codex.gallery.dialogs.gitRevert.cancel":"Hætta við","codex.gallery.dialogs.gitRevert.confirm":"Afturkalla","codex.gallery.dialogs.gitRevert.label":"Afturkalla breytingar","codex.gallery.dialogs.gitRevert.skip":"Ekki spyrja aftur","codex.gallery.dialogs.gitRevert.subtitle":"Þessi aðgerð fjarlægir allar þessar breytingar.","codex.gallery.dialogs.gitRevert.title":"Afturkalla breytingar?","codex.gallery.dialogs.longForm.label":"Frásögn í löngu sniði","codex.gallery.dialogs.proseModal.body":"Þessi stilling er notuð fyrir lengri leiðbeiningar, innleiðingu eða efnisblokkir.","codex.gallery.dialogs.proseModal.close":"Loka","codex.gallery.dialogs.proseModal.subtitle":"Deildu lengri eyðublaðaleiðsögn eða skjölum hér.","codex.gallery.dialogs.proseModal.title":"Prósaform","codex.gallery.dialogs.submitBlocked.label":"Lokað fyrir innsendingu","codex.gallery.dialogs.submitBlocked.message":"Ekki var hægt að senda skilaboðin þín þar sem verkefnið er ekki í boði.","codex.gallery.dialogs.submitBlocked.ok":"Í lagi","codex.gallery.dialogs.submitBlocked.title":"Ekki hægt að senda skilaboð.","codex.gallery.dialogs.title":"Frásagnir","codex.gallery.dropdown.filterPlaceholder":"Síuatriði","codex.gallery.dropdowns.actionRow":"Aðgerðarraðir","codex.gallery.dropdowns.actionRow.disabled":"Aðgerðir sem slökkt hefur verið á","codex.gallery.dropdowns.actionRow.primary":"Aðalaðgerð","codex.gallery.dropdowns.actionRow.secondary":"Aukaaðgerð","codex.gallery.dropdowns.actionRow.trigger":"Sýna aðgerðir","codex.gallery.dropdowns.basic":"Einfaldur fellilisti","codex.gallery.dropdowns.basic.newFile":"Ný skrá","codex.gallery.dropdowns.basic.newFolder":"Ný mappa","codex.gallery.dropdowns.basic.openSettings":"Opna stillingar","codex.gallery.dropdowns.basic.title":"Flýtiaðgerðir","codex.gallery.dropdowns.basic.trigger":"Opna valmynd","codex.gallery.dropdowns.basic.upload":"Hlaða upp","codex.gallery.dropdowns.panel":"Yfirborð stjórnarborðs","codex.gallery.dropdowns.panel.apply":"Nota","codex.gallery.dropdowns.panel.body":"Farðu yfir diff og virkjaðu þau fyrir verkefnið þitt.","codex.gallery.dropdowns.panel.preview":"Forskoða","codex.gallery.dropdowns.panel.title":"Virkja breytingar","codex.gallery.dropdowns.panel.trigger":"Opna stjórnarborð","codex.gallery.dropdowns.search":"Fellivalmynd sem hægt er að leita í","codex.gallery.dropdowns.search.first":"Alpha-rás","codex.gallery.dropdowns.search.second":"Beta-grein","codex.gallery.dropdowns.search.third":"Gefa út umsækjanda","codex.gallery.dropdowns.search.trigger":"Síuatriði","codex.gallery.dropdowns.submenu":"Fellivalmynd með undirvalmynd","codex.gallery.dropdowns.submenu.optionA":"Alpha verkefni","codex.gallery.dropdowns.submenu.optionB":"Beta verkefni","codex.gallery.dropdowns.submenu.optionC":"Gamma verkefni","codex.gallery.dropdowns.submenu.primary":"Úthluta eiganda","codex.gallery.dropdowns.submenu.secondary":"Færa í","codex.gallery.dropdowns.submenu.tertiary":"Setja í skráasafn","codex.gallery.dropdowns.submenu.trigger":"Veldu aðgerð","codex.gallery.dropdowns.title":"Fellivalmyndir","codex.gallery.inbox.automations.close":"Loka","codex.gallery.inbox.automations.popover.cardTitle":"Umsjón með sjálfvirkni","codex.gallery.inbox.automations.popover.dialogTitle":"Umsjón með sjálfvirkni","codex.header.settingsTooltip":"Stillingar","codex.hunk.patch.error":"Ekki tókst að sviðsetja","codex.hunk.patch.missing":"Gat ekki búið til bót fyrir þetta stykki.","codex.hunk.patch.partialSuccess":"Tókst að hluta til","codex.hunk.patch.revertError":"Tókst ekki að taka af sviði","codex.hunk.patch.revertSuccess":"Tókst að taka af sviði","codex.hunk.patch.success":"Tókst að sviðsetja","codex.legal.autonomy.details":"Frekari upplýsingar má finna í {link}","codex.legal.autonomy.details.link":"Codex-skjöl","codex.legal.autonomy.title":"Ákveddu hversu mikla sjálfvirkni þú vilt gefa","codex.legal.backButton":"Til baka","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt.","codex.legal.cloud.taskOne.title":"Útskýra gagnahirslu fyrir nýjum hönnuði","codex.legal.cloud.taskThree.meta":"openai/codex · 8. okt.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Búa til dökkt þema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Laga vandamál með kynningu","codex.legal.continue.apikey":"Halda áfram","codex.legal.continueButton":"Áfram","codex.legal.copilot.details":"Notar Copilot-áskriftina þína fyrir alla notkun á líkönum, innheimtu og kostnaðarhámörkum. Notkun á Codex-viðbótinni heyrir undir bæði {oaiTos} og {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"þjónustuskilmála GitHub","codex.legal.copilot.oaiTosLink":"þjónustuskilmála OpenAI Codex","codex.legal.copilot.title":"Knúið af GitHub Copilot","codex.legal.mistakes.review":"Farðu yfir kóðann sem það skrifar og hvaða skipanir það keyrir","codex.legal.mistakes.title":"Codex getur gert mistök","codex.legal.powered.details":"Notar hámark áskriftarinnar þinnar og {link}","codex.legal.powered.details.link":"kjörstillingar fyrir þjálfunargögn","codex.legal.powered.title":"Knúið af ChatGPT-reikningnum þínum","codex.legal.step.cloud.subtitle":"Sendu verkefni til Codex til að keyra í bakgrunninum svo þú getir haldið einbeitingunni og unnið hraðar.","codex.legal.step.cloud.title":"Afhenda Codex í skýinu","codex.legal.step.intro.subtitle":"Codex skoðar, breytir, keyrir skipanir og framkvæmir próf beint í gagnahirslunni þinni. Knúið af ChatGPT-reikningnum þínum.","codex.legal.step.intro.title":"Codex í þínu IDE","codex.legal.step.todo.subtitle":"Skrifaðu TODO-athugasemd og breyttu henni í Codex-verkefni með einum smelli.","codex.legal.step.todo.title":"Breyttu TODO í Codex-verkefni","codex.legal.todo.heading":"// TODO: framkvæma skema","codex.localConversation.closeImagePreview":"Loka forskoðun myndar","codex.localConversation.userImageAttachment":"Viðhengi notanda","codex.localTaskRow.archiveTask":"Setja þráð í skráarsafn","codex.localTaskRow.awaitingApproval":"Bíður eftir samþykki","codex.localTaskRow.awaitingResponse":"Bíður svara","codex.localTaskRow.confirmArchiveTask":"Staðfesta","codex.loggedOut.apiKeyPrompt.cancel":"Hætta við","codex.loggedOut.apiKeyPrompt.confirm":"Í lagi","codex.loggedOut.apiKeyPrompt.getKey":"Fá Api-lykill","codex.loggedOut.apiKeyPrompt.inputLabel":"Sláðu inn OpenAI API-lykillinn þinn","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Slökkt á verkefnum í skýi með API-lykli","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Slökkt á verkefnum í skýi með Copilot og API-lykli","codex.loggedOut.signIn":"Skráðu þig inn með ChatGPT","codex.loggedOut.signIn.cancel":"Hætta við að skrá inn","codex.loggedOut.signInWithCopilot":"Skráðu þig inn með GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Nota Api-lykil","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} verkfæri","codex.mcpTool.collapsedLabel.verb.called":"Sótt","codex.mcpTool.collapsedLabel.verb.calling":"Sækir","codex.mcpTool.embeddedResource.contentLabel":"Innihald","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-gerð","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Verkfæri skilaði engu efni","codex.mcpTool.rawPayloadHeading":"Óunnin {server}.{tool} gögn úr tóli","codex.menu.recent":"Nýlegt","codex.menu.seeAllHistory":"Sjá allan feril","codex.modelCapacityBanner.headline.noReset":"{modelName} er fullt eins og er. Reyndu aftur seinna eða byrjaðu nýtt samtal við annað líkan.","codex.modelCapacityBanner.headline.withReset":"{modelName} er fullt eins og er. Reyndu aftur eftir {resetDate} eða byrjaðu nýtt samtal við annað líkan.","codex.modelCapacityBanner.title":"Valið líkan er fullt","codex.patch.change.contentsDeleted":"Innihaldi eytt","codex.patch.change.created":"Búið til","codex.patch.change.created-file":"Skrá búin til","codex.patch.change.creating":"Býr til","codex.patch.change.deleted":"Eytt","codex.patch.change.deleted-file":"Skrá eytt","codex.patch.change.deleting":"Eyðir...","codex.patch.change.edited":"Breytti","codex.patch.change.edited-file":"Breytt skrá","codex.patch.change.editing":"Breytir","codex.patch.change.noChanges":"Engar breytingar","codex.patch.change.rejected-add":"Hafnað","codex.patch.change.rejected-delete":"Hafnað","codex.patch.change.rejected-edit":"Hafnað","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} af {total} verkefnum lokið","codex.plan.todoListCreated":"Verkefnalisti búinn til með {total} verkefni","codex.profileDropdown.apiKeyAuth":"Innskráning með API-lykli","codex.profileDropdown.codexSettings":"Codex-stillingar","codex.profileDropdown.copilotAuth":"Innskráning með Copilot","codex.profileDropdown.defaultAccountTitle":"Sjálfgefinn reikningur","codex.profileDropdown.enterBehavior":"{modifierSymbol} + færsluhnappur til að senda langar kvaðningar","codex.profileDropdown.enterBehaviorError":"Ekki tókst að uppfæra stillingu","codex.profileDropdown.getPlus":"Uppfærðu til að fá hærri takmörk","codex.profileDropdown.keyboardShortcuts":"Flýtilyklar","codex.profileDropdown.language":"Tungumál","codex.profileDropdown.languageDefault":"Greina sjálfkrafa","codex.profileDropdown.languageSearchPlaceholder":"Leitartungumál","codex.profileDropdown.languageUpdateError":"Tókst ekki að uppfæra tungumál","codex.profileDropdown.logOut":"Skrá út","codex.profileDropdown.mcp":"MCP-stillingar","codex.profileDropdown.openConfigToml":"Opna config.toml","codex.profileDropdown.openConfigToml.wsl":"Opna config.toml í WSL-umhverfi","codex.profileDropdown.openExtensionSettings":"Opna stillingar","codex.profileDropdown.openMcpSettings":"Opna MCP-stillingar","codex.profileDropdown.openOnStartup":"Opna við ræsingu","codex.profileDropdown.openOnStartupError":"Ekki tókst að uppfæra stillingu","codex.profileDropdown.openSkillsSettings":"Opna stillingar hæfileika","codex.profileDropdown.personalAccountTitle":"Einkareikningur","codex.profileDropdown.queueFollowUps":"Setja eftirfylgni í biðröð","codex.profileDropdown.queueFollowUpsError":"Ekki tókst að uppfæra stillingu","codex.profileDropdown.readDocs":"Lesa skjöl","codex.profileDropdown.readSkillsDocs":"Lesa skjöl","codex.profileDropdown.runInWsl":"Keyra í WSL","codex.profileDropdown.runInWslError":"Ekki tókst að uppfæra stillingu","codex.profileDropdown.runInWslTooltip":"Keyrir Codex inni í WSL. Ráðlagt fyrir aukið öryggi í sandkassa og betri afköst.","codex.profileDropdown.settings":"IDE-stillingar","codex.profileDropdown.settingsPage":"Stillingar","codex.profileDropdown.signInWithOpenAI":"Skráðu þig inn með ChatGPT","codex.profileDropdown.skills":"Stillingar hæfileika","codex.profileDropdown.switchToCopilotAccount":"Nota Copilot-reikning","codex.profileDropdown.switchToOpenAIAccount":"Nota OpenAI-reikning","codex.profileDropdown.todoCodelens":"Laga TODO-athugasemdir","codex.profileDropdown.todoCodelensError":"Ekki tókst að uppfæra stillingu","codex.profileDropdown.windowsDocumentation":"Windows skjalfesting","codex.profileFooter.signedInFallback":"Stillingar","codex.profileFooter.upgrade":"Uppfæra","codex.recentTasksMenu.clearSearch":"Hreinsa leit","codex.recentTasksMenu.cloud":"Skýjaverkefni","codex.recentTasksMenu.count":"{count, plural, =0 {Engin verkefni í vinnslu} one {# verkefni í vinnslu} other {# verkefni í vinnslu}}","codex.recentTasksMenu.empty":"Engir þræðir enn sem komið er","codex.recentTasksMenu.errorCloud":"Ekki tókst að hlaða verkefni.","codex.recentTasksMenu.errorCloud.inline":"Ekki tókst að hlaða skýjaverkefni.","codex.recentTasksMenu.filterAll":"Allt","codex.recentTasksMenu.filterCloudTasks":"Sía skýjaverkefni","codex.recentTasksMenu.filterTooltip":"Sía verkefni eftir umhverfi","codex.recentTasksMenu.local":"Staðbundin verkefni","codex.recentTasksMenu.recent":"Öll verkefni","codex.recentTasksMenu.search":"Leita í nýlegum verkefnum","codex.recentTasksMenu.searchEmpty":"Engin niðurstaða","codex.recentTasksMenu.tooltip":"Verkefnaferill","codex.recentTasksMenu.trigger":"Nýleg verkefni. {count, plural, one {# í vinnslu} other {# í vinnslu}}","codex.remoteConversation.applyDiff.applyCta":"Virkja breytingar","codex.remoteConversation.applyDiff.dropdownTitle":"Virkja breytingar á staðbundna grein","codex.remoteConversation.applyDiff.revertCta":"Afturkalla breytingar","codex.remoteConversation.closeImagePreview":"Loka forskoðun myndar","codex.remoteConversation.codexCloudTask":"Þú ert að skoða verkefni í <u>Codex-skýi</u>","codex.remoteConversation.errorWithMessage":"Villa: {message}","codex.remoteConversation.loadingImage":"Hleður mynd","codex.remoteConversation.openInWeb":"Opna á vefnum","codex.remoteConversation.streaming":"Hafist handa","codex.remoteConversation.turnFailed":"Villa kom upp í þessu verkefni","codex.remoteConversation.turnTab.loading":"Tilraun {number}","codex.remoteConversation.turnTab.title":"Tilraun {number}","codex.remoteConversation.userImageAttachment":"Viðhengi notanda","codex.remoteConversation.viewPreviousTurns":"Opna á vefnum","codex.remoteConversation.viewPreviousTurns.buttonText":"Opna","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Opna á vefnum","codex.review.copyGitApplyCommand":"Afrita skipun um notkun í git","codex.review.copyGitApplyCommand.toast":"Skipun um notkun í git afrituð á klippiborð","codex.review.diffTooLarge.description":"Þetta diff er of stórt til að birta í yfirferð.","codex.review.diffTooLarge.title":"Þetta diff er of stórt til að birta","codex.review.expandOrCollapseDiffButton.collapse":"Draga saman allar breytingar","codex.review.expandOrCollapseDiffButton.expand":"Stækka allar breytingar","codex.review.expandOrCollapseDiffMenu.collapse":"Draga saman allar breytingar","codex.review.expandOrCollapseDiffMenu.expand":"Stækka allar breytingar","codex.review.fileSearch.clear":"Hreinsa skráarsíu","codex.review.fileSearch.empty":"Engin skjöl passa við núverandi síu.","codex.review.fileSearch.label":"Sía skjöl","codex.review.fileSearch.placeholder":"Sía skjöl…","codex.review.filesChanged":"{num, plural, =0 {Engum skrám breytt} one {# skrá breytt} other {# skrám breytt}}","codex.review.find.loadMore":"Hlaða fleiri samsvörunum","codex.review.fullReview.hideFileTree":"Fela skrámöppu­yfirlit","codex.review.fullReview.showFileTree":"Sýna skráartré","codex.review.header.moreOptions":"Fara yfir valkosti","codex.review.largeDiff.banner":"Stórt diff greint – sýnir eina skrá í einu.","codex.review.loadFullFiles.disable":"Ekki hlaða fullum skrám","codex.review.loadFullFiles.enable":"Hlaða fullum skrám","codex.review.noDiff":"Breytingar á skrá munu birtast hér","codex.review.noDiff.gitInit.createRepository":"Búa til git-gagnahirslu","codex.review.noDiff.gitInit.creating":"Býr til…","codex.review.noDiff.gitInit.error":"Git-ræsing tókst ekki: {message}","codex.review.noDiff.gitInit.success":"Git-gagnahirsla búin til","codex.review.noDiff.gitRepoRequired.description":"Fylgstu með og afturkallaðu breytingar í þessu verkefni","codex.review.noDiff.gitRepoRequired.title":"Búa til Git-gagnahirslu","codex.review.noDiff.orNoLongerAvailable":"eða skoða nýjustu breytingar sem eru ekki lengur aðgengilegar","codex.review.noDiff.reverted":"Síðasta umferð var afturkölluð","codex.review.noDiff.revertedOrCommitted":"Síðasta umferð hefur annaðhvort verið afturkölluð eða staðfest","codex.review.refreshGitQueries":"Endurnýja","codex.review.revert.file.error":"Ekki tókst að afturkalla {path}","codex.review.revert.file.partialSuccess":"{path} að hluta til afturkallað","codex.review.revert.file.success":"{path} afturkallað","codex.review.revert.hunk.error":"Ekki tókst að afturkalla stykki {hunkNumber} í {path}","codex.review.revert.hunk.partialSuccess":"Stykki {hunkNumber} að hluta til afturkallað í {path}","codex.review.revert.hunk.success":"Afturkallað stykki {hunkNumber} í {path}","codex.review.revert.section.error":"Ekki tókst að afturkalla kafla","codex.review.revert.section.partialSuccess":"Kafla að hluta til afturkallað","codex.review.revert.section.success":"Kafli afturkallaður","codex.review.revertDialog.cancel":"Hætta við","codex.review.revertDialog.confirm":"Staðfesta","codex.review.revertDialog.message":"Þessi aðgerð fjarlægir allar þessar breytingar.","codex.review.revertDialog.skip":"Ekki spyrja aftur","codex.review.revertDialog.title":"Afturkalla breytingar?","codex.review.richPreview.disable":"Slökkva á ítarlegri forskoðun","codex.review.richPreview.enable":"Virkja ítarlega forskoðun","codex.review.source.cloud":"Breytingar á skýji","codex.review.source.local.all":"Allar breytingar á greinum","codex.review.source.local.lastTurn":"Nýjustu breytingar á lotu","codex.review.source.local.uncommitted":"Óstaðfestar breytingar","codex.review.source.worktree":"Óstaðfestar breytingar í verktré","codex.review.stageFilter.empty.staged.description":"Samþykktu breytingar til að setja þær á svið","codex.review.stageFilter.empty.staged.title":"Engar breytingar settar á svið","codex.review.stageFilter.empty.unstaged.description":"Breytingar á kóða munu birtast hér","codex.review.stageFilter.empty.unstaged.title":"Engar ósviðsettar breytingar","codex.review.stageFilter.staged":"Sviðsett","codex.review.stageFilter.staged.count":"Sviðsett · {count}","codex.review.stageFilter.unstaged":"Tekið af sviði","codex.review.stageFilter.unstaged.count":"Tekið af sviði · {count}","codex.review.switchToSplit":"Skipta yfir í skipt diff","codex.review.switchToUnified":"Skipta í sameinaðan samanburð","codex.review.toggleDiffView":"Skipta um diff-sýn","codex.review.wordDiffs.disable":"Slökkva á orðadiffum","codex.review.wordDiffs.enable":"Virkja orðadiff","codex.review.wrap.disable":"Slökkva á orðapakkningu","codex.review.wrap.enable":"Kveikja á orðapakkningu","codex.section.patch.missing":"Gat ekki búið til bót fyrir þennan kafla.","codex.shell.collapse":"Draga saman útstöð","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Innihald útstöðvar afritað","codex.shell.copy.copyTooltip":"Afrita innihald útstöðvar","codex.shell.copyCommand":"Afrita skipun","codex.shell.copyOutput":"Afrita úttak","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Stækka útstöð","codex.shell.name":"Útstöð","codex.shell.noOutput":"Ekkert frálag","codex.signInFailed.message":"Innskráning mistókst: {rawMessage}","codex.stories.toast.show":"Sýna tilkynningu","codex.stories.tooltip.basic":"Þetta er ábending","codex.stories.tooltip.hoverMe":"Haltu bendlinum yfir mér","codex.stories.tooltip.largerOffset":"Þessi ábending er með stærri hliðrun","codex.stories.tooltip.offsetButton":"Stærri hliðrun","codex.stories.tooltip.shortcutButton":"Bæta flýtileið við","codex.stories.tooltip.withShortcut":"Skipta um útstöð","codex.taskRow.title":"Nýr þráður","codex.taskRowLayout.confirm":"Staðfesta","codex.threadFindBar.chatFilter":"Leita í spjalli","codex.threadFindBar.close":"Loka leit","codex.threadFindBar.diffFilter":"Leita í diffum","codex.threadFindBar.label":"Finna í þræði","codex.threadFindBar.nextResult":"Næsta niðurstaða","codex.threadFindBar.noResults":"Engar niðurstöður","codex.threadFindBar.placeholder":"Leita í þræði…","codex.threadFindBar.placeholder.extension":"Leita í þræði…","codex.threadFindBar.placeholder.review":"Leita í diffum…","codex.threadFindBar.placeholder.review.extension":"Leita í diffum…","codex.threadFindBar.previousResult":"Fyrri niðurstaða","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# skrá breytt} other {# skrám breytt}}","codex.unifiedDiff.inlineLargeFile":"Of stórt til að framkalla innfellt","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Afturkalla","codex.unifiedDiff.revertPatchError":"Ekki tókst að afturkalla breytingar","codex.unifiedDiff.revertPatchSuccess":"Breytingar afturkallaðar","codex.unifiedDiff.reviewChangesSuffix":"breytingar","codex.unifiedDiff.reviewShort":"Fara yfir","codex.unifiedDiff.viewDiffTooltip":"Fara yfir","codex.upsellBanner.business.headline":"Til að fá meiri aðgang núna skaltu senda beiðni til stjórnanda þíns eða bíða þangað til {resetDate}.","codex.upsellBanner.cbp.headline":"Sendu beiðni til stjórnandans þíns til að fá meiri aðgang núna.","codex.upsellBanner.cta.addCredits":"Bæta við inneign","codex.upsellBanner.cta.upgradeAccount":"Uppfæra","codex.upsellBanner.cta.viewUsage":"Skoða notkun","codex.upsellBanner.freeOrGo.headline":"Hámarkstíðnin þín endurstillist þann {resetDate}. Til að halda áfram að nota Codex skaltu uppfæra í Plus í dag.","codex.upsellBanner.general.headline":"Hámarkstíðnin þín endurstillist {resetDate}.","codex.upsellBanner.general.title":"Þú ert ekki með fleiri Codex-skilaboð","codex.upsellBanner.plus.headline":"Hámarkstíðnin þín endurstillist {resetDate}. Til að halda áfram að nota Codex skaltu bæta við inneign eða uppfæra í Pro í dag.","codex.upsellBanner.pro.headline":"Hámarkstíðnin þín endurstillist {resetDate}. Bættu við inneign núna til að halda áfram að nota Codex.","codex.userMessage.autoResolveSync":"Leysa sjálfkrafa úr ósamræmi","codex.userMessage.commentCount":"{count, plural, one {# ummæli} other {# ummæli}}","codex.userMessage.copiedAriaLabel":"Afritað","codex.userMessage.copiedTooltip":"Afritað","codex.userMessage.copyAriaLabel":"Afrita skilaboð","codex.userMessage.copyTooltip":"Afrita","codex.userMessage.implementPlan":"Innleiðingaráætlun","codex.userMessage.noContent":"(Ekkert innihald)","codex.userMessage.priorConversation":"Vísar í fyrra samtal","codex.userMessage.reviewMode":"Yfirferðarstilling","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"fyrir {query}","codex.webSearch.summary.verb.completed":"Leitaði á vefnum","codex.webSearch.summary.verb.inProgress":"Leitar á vefnum","codex.windowsInstallWslBanner.dismiss":"Hunsa","codex.windowsInstallWslBanner.installWslCta":"Kveikja á sandkassa","codex.windowsInstallWslBanner.learnMore":"Nánar","codex.windowsSandboxBanner.content":"Fulltrúastilling notar tilraunasandkassa í Windows til að takmarka aðgang að skráarkerfi og neti. {sandboxLink}","codex.windowsSandboxBanner.title":"Kveikja á sandkassa fyrir fulltrúastillingu","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-stillingar","codexUpgradeModal.body":"Codex er nú knúið af GPT‑5.2‑Codex, okkar nýjasta og öflugasta forritunarlíkani. Við kóðun er það {link}; með frekari bótum á GPT-5.2","codexUpgradeModal.close":"Loka","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"greindara og hraðara","codexUpgradeModal.title":"Codex var að fá uppfærslu","codexUpgradeModal.tryNewModel":"Prófaðu GPT-5.2-Codex núna","codexUpgradeModal.useExistingModel":"Halda áfram með núverandi líkani","commentAttachments.numComments":"{count, plural, one {# ummæli} other {# ummæli}}","commentAttachments.removeAriaLabel":"Fjarlægja viðhengi við ummæli","common.close":"Loka","composer.addContext.openFilePickerError":"Gat ekki opnað skráarval","composer.addContextDropdown.ariaLabel":"Bæta við skrám og fleira","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Bæta við skrám og fleira","composer.addPhotosAndFiles":"Bæta myndum og skrám við","composer.atMentionList.emptyQuery":"Skrifaðu til að leita að skrám","composer.atMentionList.loading":"Leitar...","composer.atMentionList.noResults":"Engar niðurstöður","composer.attemptsSelector.option":"{count, plural, one {# útgáfa} other {# útgáfur}}","composer.attemptsSelector.tooltip":"Fjöldi samhliða tilrauna sem Codex á að gera","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Stoppa","composer.cloudFollowUp.cloud":"Ský","composer.cloudFollowUp.local":"Staðbundið","composer.cloudFollowUp.whereRun":"Hvar á að keyra þessa eftirfylgni","composer.cloudTaskCreationError":"Villa við að búa til skýjaverkefni","composer.cloudTaskError":"Villa við að búa til verkefni","composer.contextWindow.autoCompactionTooltipLine1":"Codex samanþjappar samhengi sínu sjálfkrafa","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Samhengisgluggi:","composer.contextWindowUsageStatusFull":"{usage}% fullt","composer.contextWindowUsageStatusLeft":"{usage}% notaði ({remaining}% eftir)","composer.contextWindowUsageTooltip":"{usedTokens} þús. / {contextWindow} þús. tákn notuð","composer.customCliTooltip":"Að nota sérsniðna CLI-keyranlega skrá","composer.dictation.aria":"Lesa upp","composer.dictation.cancel.aria":"Stöðva upplestur","composer.dictation.cancel.tooltip":"Stöðva upplestur","composer.dictation.startError":"Gat ekki ræst upplestur","composer.dictation.submit.aria":"Umrita og senda inn","composer.dictation.submit.tooltip":"Umrita og senda inn","composer.dictation.tooltip":"Haltu inni til að taltúlka","composer.dictation.transcribeError":"Gat ekki umskrifað hljóð","composer.dictation.unsupported":"Upplestur er ekki í boði á þessu tæki","composer.dropOverlay.holdShift":"Haltu {key} til að sleppa","composer.dropOverlay.shiftKey":"Hástafalykill","composer.environmentSelector.createNew":"Búa til nýja","composer.environmentSelector.error":"Villa við að hlaða umhverfi","composer.environmentSelector.goBack":"Aftur í ritil","composer.environmentSelector.title":"Velja umhverfi","composer.environmentSelector.tooltip":"Veldu skýjaumhverfi","composer.feedbackSlashCommand.title":"Ábending","composer.filePicker.selectFile":"Velja skrá","composer.filePicker.selectFiles":"Velja skrá","composer.followerTooltip":"Snúðu aftur í gluggan þar sem þetta samtal hófst til að halda áfram.","composer.footer.branchSwitch.checkoutError":"Tókst ekki að skipta um grein: {message}","composer.footer.branchSwitch.createAndCheckout":"Búa til og afgreiða nýja grein…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Birtu breytingar til að búa til og afgreiða nýja grein","composer.footer.branchSwitch.createBranchError":"Tókst ekki að búa til grein: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Heiti greinar","composer.footer.branchSwitch.createDialog.branchExistsError":"Grein er þegar til.","composer.footer.branchSwitch.createDialog.close":"Loka","composer.footer.branchSwitch.createDialog.createAndCheckout":"Búa til og afgreiða","composer.footer.branchSwitch.createDialog.placeholder":"ný-grein","composer.footer.branchSwitch.createDialog.title":"Búa til og afgreiða grein","composer.footer.branchSwitch.createDialog.trailingSlashError":"Nafn greinar má ekki enda á „/“.","composer.footer.branchSwitch.tooltip":"Skipta um grein","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Birtu breytingar á {fileCount, plural, one {# skrá} other {# skrár}} til að afgreiða {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Staðfesta","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"breytingar á {fileCount, plural, one {# skrá} other {# skrár}} til að skoða {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Hætta við","composer.footer.branchSwitch.uncommittedDialog.commit":"Birta og skipta um grein…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Ritað yrði yfir breytingar þínar á eftirfarandi skrám við útritun:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Birtu breytingarnar þínar til að halda áfram","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"valda greinin","composer.footer.branchSwitch.uncommittedDialog.title":"Birtu breytingar til að skipta um grein","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Ófrágengið: {fileCount, plural, one {# skrá} other {# skrár}}","composer.forkSlashCommand.description":"Gaffla þessum þræði í staðbundið eða nýtt verktré","composer.forkSlashCommand.option.local.description":"Halda áfram í nýjum staðbundnum þræði","composer.forkSlashCommand.option.local.title":"Gaffla í staðbundið","composer.forkSlashCommand.option.worktree.description":"Halda áfram í nýtt verktré","composer.forkSlashCommand.option.worktree.title":"Gaffla í nýtt verktré","composer.forkSlashCommand.title":"Greina niður","composer.imageInputsUnsupported":"Þetta líkan styður ekki inntak mynda. Prófaðu annað líkan.","composer.imageUploadFailed":"Ekki tókst að hlaða upp mynd","composer.includeIdeContextDropdown":"Láta IDE-samhengi fylgja","composer.includeIdeContextDropdown.ariaLabel":"Láta IDE-samhengi fylgja","composer.localCwdDropdown.addWorkspaceRoot":"Bæta við nýju verkefni","composer.localCwdDropdown.noActiveRoot":"Veldu verkefnið þitt","composer.localCwdDropdown.noResults":"Engar möppur fundust","composer.localCwdDropdown.title":"Veldu verkefnið þitt","composer.localTaskError":"Villa við að hefja samtal","composer.mcpSlashCommand.description":"Sýna stöðu MCP-netþjóns","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Ekki staðfest","composer.mcpStatus.authOauth":"Staðfest (OAuth)","composer.mcpStatus.authToken":"Staðfest (API-lykill)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Loka","composer.mcpStatus.disabled":"Slökkt","composer.mcpStatus.emptyLabel":"Netþjónar:","composer.mcpStatus.emptyValue":"Engir MCP-netþjónar stilltir","composer.mcpStatus.enabled":"Kveikt","composer.mcpStatus.errorLabel":"Staða:","composer.mcpStatus.errorValue":"Tókst ekki að hlaða stöðu MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Fulltrúi","composer.mode.agentMode.auto.dropdownLabel":"Fulltrúi","composer.mode.agentMode.auto.optionLabel":"Fulltrúi","composer.mode.agentMode.changePermission":"Skipta um stillingu","composer.mode.agentMode.custom":"Sérsniðið","composer.mode.agentMode.custom.dropdownLabel":"Sérsniðið","composer.mode.agentMode.custom.option":"Sérsniðið (config.toml)","composer.mode.agentMode.custom.optionLabel":"Sérsniðið (config.toml)","composer.mode.agentMode.customInfo.cancel":"Hætta við","composer.mode.agentMode.customInfo.cli":"Þú getur breytt þessum stillingum í CLI eða með því að breyta skránni beint.","composer.mode.agentMode.customInfo.confirm":"Nota sérsniðna stillingu","composer.mode.agentMode.customInfo.description":"Sérsniðin stilling notar samþykki og sandkassareglurnar sem eru skilgreindar í <link>config.toml</link>-skránni þinni.","composer.mode.agentMode.customInfo.docs":"Kynntu þér hvernig þú stillir samþykki og sandkassareglur í <link>skjölunum um keyrsluumhverfi</link>.","composer.mode.agentMode.customInfo.refresh":"Allar breytingar munu taka gildi í næsta skipti sem fulltrúinn er keyrður.","composer.mode.agentMode.customInfo.title":"Svona virkar sérsniðin stilling","composer.mode.agentMode.fullAccess":"Fulltrúi (fullur aðgangur)","composer.mode.agentMode.fullAccess.dropdownLabel":"Fulltrúi (fullur aðgangur)","composer.mode.agentMode.fullAccess.optionLabel":"Fulltrúi (fullur aðgangur)","composer.mode.agentMode.fullAccessConfirm.caution":"Farðu varlega þegar þú veitir fullan aðgang. Þetta eykur töluvert hættuna á gagnatapi, leka eða óvæntri hegðun.","composer.mode.agentMode.fullAccessConfirm.confirm":"Já, halda samt áfram","composer.mode.agentMode.fullAccessConfirm.description":"Þegar Codex er keyrt með fullan aðgang getur það breytt hvaða skrá sem er í tölvunni þinni og keyrt skipanir með netaðgangi án samþykkis frá þér.","composer.mode.agentMode.fullAccessConfirm.goBack":"Hætta við","composer.mode.agentMode.fullAccessConfirm.title":"Veita fullan aðgang?","composer.mode.agentMode.readOnly":"Spjall","composer.mode.agentMode.readOnly.dropdownLabel":"Spjall","composer.mode.agentMode.readOnly.optionLabel":"Spjall","composer.mode.agentMode.tooltip":"Skipta um stillingu","composer.mode.agentMode.tooltip.auto":"Lesa og breyta skrám og keyra skipanir.","composer.mode.agentMode.tooltip.custom":"Nota nýjustu reglur um samþykki og sandkassa sem eru skilgreindar í config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex getur breytt skrám fyrir utan þetta verkefni og keyrt skipanir með netaðgangi. Farðu varlega þegar þú notar þetta.","composer.mode.agentMode.tooltip.readOnly":"Krefst samþykkis til að breyta skrám og keyra skipanir.","composer.mode.cloud.tooltip":"Vinna í skýjaumhverfi","composer.mode.contactAdmin":"Hafðu samband við kerfisstjórann þinn til að fá meiri aðgang","composer.mode.local":"Staðbundið","composer.mode.local.learnMore":"Nánar","composer.mode.local.model.custom":"Sérsniðið","composer.mode.local.model.loadingModel":"Hleður líkani...","composer.mode.local.model.selecrReasoningEffort":"Velja röksemdafærslu","composer.mode.local.model.selectModel":"Velja líkan","composer.mode.local.model.tooltip":"Velja líkan","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Hátt","composer.mode.local.reasoning.low.label":"Lágt","composer.mode.local.reasoning.medium.label":"Miðlungs","composer.mode.local.reasoning.minimal.label":"Lágmarks","composer.mode.local.reasoning.none.label":"Ekkert","composer.mode.local.reasoning.xhigh.label":"Mjög mikil","composer.mode.localRemoteWhereRun":"Veldu hvar á að keyra verkefnið","composer.mode.newTask.header":"Halda áfram eftir","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"Hámark eftir","composer.mode.rateLimit.hour":"{hours} klst.","composer.mode.rateLimit.minute":"{minutes} mín.","composer.mode.rateLimit.modelSectionLabel":"{modelName} hámark:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {vikulegt hámark} other {{weeks} vikulegt hámark}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Vikulega} other {{weeks} vika}}","composer.mode.remote.connectToCloud":"Tengja Codex-vef","composer.mode.remote.connectToCloudDisabledTooltip":"Setja upp umhverfi í gegnum Codex-vef til að geta sent verkefni í skýið","composer.mode.remote.selectEnvironment":"Velja umhverfi","composer.mode.remote.sendToCloud":"Senda í skýið","composer.mode.remote.setupViaWeb":"Setja upp umhverfi í gegnum Codex-vef","composer.mode.runInCloud":"Ský","composer.mode.runInCloudWithEnvironment":"Ský · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Vinna í skýjaumhverfi","composer.mode.segmentedToggle.local.tooltip":"Vinndu í staðbundna verkefninu þínu","composer.mode.segmentedToggle.worktree.tooltip":"Vinndu í samhliða verktré","composer.mode.upgradeToPlus":"Uppfæra í Plus","composer.mode.upgradeToPro":"Uppfæra í Pro","composer.mode.workLocally":"Staðbundið verkefni","composer.mode.workLocally.currentBranchFallback":"greinin þín","composer.mode.workLocally.tooltip":"Vinna í {branchName}","composer.mode.worktree":"Nýtt verktré","composer.mode.worktree.submoduleWarning":"Þessi gagnahirsla er með git-undireiningar. Sköpun verktrés gæti mistekist","composer.mode.worktree.tooltip":"Búðu til afrit af staðbundna vinnusvæðinu þínu til að vinna samhliða","composer.mode.worktreeSegment":"Verktré","composer.modelChangeDuringConversationWarning.toast":"Ef skipt er um líkön í miðju samtali mun það draga úr frammistöðu.","composer.newChat.heading.browser":"Hvað ættum við að forrita næst?","composer.permissionsDropdown.custom.label":"Sérsniðið (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Sérsniðið (config.toml)","composer.permissionsDropdown.default.label":"Sjálfgefnar leyfisveitingar","composer.permissionsDropdown.default.optionLabel":"Sjálfgefnar leyfisveitingar","composer.permissionsDropdown.fullAccess.disabled":"Requirements.toml hefur slökkt á ótakmörkuðu aðgengi","composer.permissionsDropdown.trigger.tooltip":"Breyta leyfisveitingum","composer.personalitySlashCommand.description.friendly":"Hlýtt, samvinnuþýtt og gagnlegt","composer.personalitySlashCommand.description.pragmatic":"Hnitmiðað, verkefnamiðað og hreinskilið","composer.personalitySlashCommand.label.friendly":"Vinalegt","composer.personalitySlashCommand.label.pragmatic":"Hagsýni","composer.personalitySlashCommand.notApplicableSuffix":"(Á ekki við um núverandi líkan)","composer.personalitySlashCommand.title":"Persónuleiki","composer.placeholder.cloudFollowUp.directFollowUp":"Eftirfylgni með þessu skýjaverkefni","composer.placeholder.cloudFollowUp.local":"Búa til nýtt staðbundið verkefni sem vísar í þetta skýjaverkefni.","composer.placeholder.cloudFollowUp.workingTree":"Búa til nýtt skýjaverkefni sem inniheldur núverandi kópann þinn og mun vísa í þetta verkefni","composer.placeholder.localFollowUp.cloud":"Eftirfylgni í nýju skýjaverkefni","composer.placeholder.localFollowUp.locally":"Óska eftir breytingum á eftirfylgni","composer.placeholder.newTask.cloud":"Biddu Codex um að gera hvað sem er í skýjinu","composer.placeholder.newTask.doAnything":"Biddu Codex um að gera hvað sem er","composer.placeholder.newTask.locally":"Spyrðu Codex um hvað sem er, @ til að bæta við skrám, / fyrir skipanir","composer.planModeDropdown":"Skipulagsstilling","composer.planModeDropdown.ariaLabel":"Skipulagsstilling","composer.planModeIndicator":"Áskriftarleið","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Slökkva á skipulagsstillingu","composer.planSlashCommand.enableDescription":"Kveikja á skipulagsstillingu","composer.planSlashCommand.title":"Skipulagsstilling","composer.priorContext.label":"Fyrra samhengi","composer.priorContext.removeAriaLabel":"Fjarlægja fyrra samhengi","composer.queuedMessage.delete":"Eyða skilaboðum í bið","composer.queuedMessage.edit":"Breyta skilaboðum","composer.queuedMessage.more":"Skilaboðaaðgerðir í bið","composer.queuedMessage.sendNow":"Senda núna","composer.queuedMessage.turnOff":"Slökkva á bið","composer.reasoningEffort.local.reasoning.tooltip":"Velja dýpt röksemdafærslu","composer.remote.branchStartingPoint":"Hvaða grein ætti þetta verkefni að hefjast frá?","composer.remote.branchesSectionHeading":"Greinar","composer.remote.currentEditsSuffix.followUp":"Búa til nýtt verkefni sem vísar í þetta skýjaverkefni.","composer.remote.currentEditsSuffix.useLocal":"með staðbundnum kóðabreytingum","composer.remote.directFollowUp":"Ekki nota staðbundnar breytingar","composer.remote.errorLoadingBranches":"Villa við að hlaða greinum","composer.remote.fromBranch":"Frá {branch}","composer.remote.fromCurrentBranch":"Frá {branch} (núverandi)","composer.remote.loadingMoreBranches":"Hleður ...","composer.remote.localFileStateHeading":"Staða staðbundinnar skrár","composer.remote.localWorkingTree":"Nota staðbundnar breytingar","composer.remote.startingPoint":"Hvaða kóða á að nota við upphaf þessa verkefnis?","composer.reviewMode.branches.error":"Ekki tókst að hlaða greinar","composer.reviewMode.branches.retry":"Reyna aftur","composer.reviewMode.gitRoot.error":"Git-rót fannst ekki","composer.reviewMode.option.baseBranch.simple":"Fara yfir samanborið við grunngrein","composer.reviewMode.option.unstaged.simple":"Fara yfir óstaðfestar breytingar","composer.reviewMode.quickReviewError":"Ekki tókst að hefja kóðayfirferð.","composer.reviewMode.title":"Kóðayfirferð","composer.sandboxButton.unlock.disabled.tooltip":"Requirements.toml hefur slökkt á ótakmörkuðu aðgengi","composer.sandboxButton.windowsSandboxDialog.content":"Codex getur notað tilraunasandkassa í Windows til að takmarka aðgang að skráarkerfi og neti. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Virkja Windows Sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Nota skrifvarið","composer.searchEnvironments":"Leita að umhverfum","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Hleður hæfileikum…","composer.skillMentionList.noResults":"Engir hæfileikar fundust","composer.slashCommands.cloudEnvironment.title":"Skýjaumhverfi","composer.slashCommands.dialogLabel":"Skástrikavalmynd","composer.slashCommands.dialogTitle":"Skástrikaskipanir","composer.slashCommands.disabledTooltip":"Byrjaðu á nýju samtali til að nota skástrikaskipanir","composer.slashCommands.inputPlaceholder":"Leita","composer.slashCommands.noResults":"Engar skipanir","composer.slashCommands.skillsGroup":"Hæfileikar","composer.slashCommands.tooltip":"Fletta í skástriksskipunum","composer.status.close":"Loka","composer.statusPlain.alertLabel":"Viðvörun:","composer.statusPlain.alertValue":"{remaining}% eftir á {window}","composer.statusPlain.contextLabel":"Samhengi:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} notað af {total})","composer.statusPlain.contextValueRemaining":"{remaining}% eftir","composer.statusPlain.heading":"Staða","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} hámark:","composer.statusPlain.rateLimitDays":"{count}d hámark","composer.statusPlain.rateLimitFallbackLabel":"Hámarkstíðni:","composer.statusPlain.rateLimitHours":"{count}klst hámark","composer.statusPlain.rateLimitLabelBase":"Hámarkstíðni","composer.statusPlain.rateLimitMinutes":"{count}m hámark","composer.statusPlain.rateLimitPercent":"{remaining}% eftir","composer.statusPlain.rateLimitReset":"endurstillist {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"endurstilling tíma ekki í boði","composer.statusPlain.rateLimitUnavailable":"Ekki í boði","composer.statusPlain.sessionCopiedAriaLabel":"Auðkenni lotu afritað","composer.statusPlain.sessionCopiedTooltip":"Auðkenni afritað","composer.statusPlain.sessionCopyAriaLabel":"Afrita auðkenni lotu","composer.statusPlain.sessionCopyTooltip":"Afritaðu auðkenni","composer.statusPlain.sessionLabel":"Lota:","composer.statusSlashCommand.description":"Sýna auðkenni þráðs, samhengisnotkun og hámarkstíðni","composer.statusSlashCommand.title":"Staða","composer.submit.blockedDialogOk":"Í lagi","composer.submit.blockedDialogTitle":"Ekki hægt að senda skilaboð.","composer.submit.emptyMessage":"Skrifaðu skilaboð til að hefjast handa","composer.submit.imageInputsUnsupported":"Fjarlægðu myndir eða skiptu um líkan til að senda þessi skilaboð.","composer.submit.loadingLocalConfig":"Hleður ...","composer.submit.missingCloudConfig":"Þú verður að velja skýjaumhverfi","composer.submit.missingCloudTurn":"Ekki er hægt að fylgja þessu verkefni eftir","composer.submit.noWorkspace":"Bættu við verkefni til að nota Codex","composer.submit.waitForImageUploads":"Hleður upp myndum…","composer.submitButtonTooltip.send":"Senda","composer.submitButtonTooltip.stop":"Stoppa","composer.worktreeEnvironment.create":"Búðu til staðbundið umhverfi","composer.worktreeEnvironment.default":"Sjálfgefið umhverfi","composer.worktreeEnvironment.error":"Villa við að hlaða umhverfi","composer.worktreeEnvironment.loading":"Hleð inn umhverfum…","composer.worktreeEnvironment.title":"Staðbundið umhverfi","composer.worktreeEnvironment.tooltip":"Staðbundið umhverfi vistað","composer.worktreeSetupFailed":"Tókst ekki að setja upp verktré. Athugaðu .codex/environments til að finna uppsetningarhandrit.","compoundButton.secondaryAction":"Aukaaðgerð","copyButton.copied":"Afritað","copyButton.copiedAriaLabel":"Afritað","copyButton.copy":"Afrita","copyButton.copyAriaLabel":"Afrita","copyButton.copyCode":"Afrita kóða","diff.actionButton.revertFile":"Afturkalla skrá","diff.actionButton.revertHunk":"Afturkalla","diff.actionButton.revertSection":"Afturkalla allt","diff.actionButton.revertSectionLabel":"Afturkalla allt","diff.actionButton.stageFile":"Sviðsetja skrá","diff.actionButton.stageHunk":"Setja á svið","diff.actionButton.stageSection":"Sviðsetja allt","diff.actionButton.stageSectionLabel":"Sviðsetja allt","diff.actionButton.unstageFile":"Taka skrá af sviði","diff.actionButton.unstageHunk":"Taka af sviði","diff.actionButton.unstageSection":"Taka allt af sviði","diff.actionButton.unstageSectionLabel":"Taka allt af sviði","diff.fileHeader.toggle":"Skipta um diff skrár","electron.onboarding.login.apikey.cancel":"Hætta við","electron.onboarding.login.apikey.continue":"Halda áfram","electron.onboarding.login.apikey.label":"OpenAI API-lykill","electron.onboarding.login.apikey.open":"Sláðu inn API-lykil","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Hætta við að skrá inn","electron.onboarding.login.chatgpt.continue":"Halda áfram með ChatGPT","electron.onboarding.login.devbox":"Tengjast SSH á fjartölvu","electron.onboarding.login.error":"Innskráning mistókst: {rawMessage}","electron.onboarding.login.snake.start":"Spila Snake","electron.onboarding.login.sshConfig.cancel":"Hætta við","electron.onboarding.login.sshConfig.continue":"Halda áfram","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-netfang","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Besta leiðin til að byggja með fulltrúum","electron.onboarding.login.title":"Velkomin(n) í Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Halda áfram","electron.onboarding.welcome.doubleLimits.description":"Til að fagna útgáfu Codex-appsins færð þú tvöfalda hámarkstíðni til 2. apríl.","electron.onboarding.welcome.freego.description":"Codex fylgir ókeypis með áskriftinni þinni til 2. mars – byrjum að vinna saman.","electron.onboarding.welcome.new.title.anon":"Gaman að sjá þig!","electron.onboarding.workspace.continue":"Halda áfram","electron.onboarding.workspace.empty":"Bættu við verkefni til að halda áfram.","electron.onboarding.workspace.listLabel":"Tiltæk verkefni","electron.onboarding.workspace.loading":"Hleður verkefnum…","electron.onboarding.workspace.openFolder":"Bæta við verkefni","electron.onboarding.workspace.selectAll":"Velja allt","electron.onboarding.workspace.skip":"Sleppa","electron.onboarding.workspace.skip.error":"Tókst ekki að búa til nýtt verkefni: {message}","electron.onboarding.workspace.skip.error.unknown":"Óþekkt villa","electron.onboarding.workspace.skipping":"Býr til nýtt verkefni…","electron.onboarding.workspace.subtitle":"Codex mun geta breytt skrám og keyrt skipanir í völdum möppum.","electron.onboarding.workspace.title":"Velja verkefni","errorPage.list.checkSettings":"Prófaðu að uppfæra IDE-stillingarnar","errorPage.list.configToml":"Athugaðu með ógildar stillingar í config.toml","errorPage.list.downloadExtension":"Prófaðu að hlaða niður annarri útgáfu af viðbótinni","errorPage.list.runInWsl":"Athugaðu stillingarnar til að slökkva á keyrslu í WSL ef þú sérð vandamál með ósamhæfi","execApprovalRequest.menu.runAlways":"Já, ekki spurja aftur í þessari lotu","execApprovalRequest.menu.runAlwaysWithAmendment":"Já, og ekki spyrja aftur fyrir skipanir sem byrja á {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Já, og ekki spyrja aftur fyrir skipanir sem byrja á","execApprovalRequest.menu.runOnce":"Já","execApprovalRequest.prompt":"Viltu keyra þessa skipun?","execApprovalRequest.reject":"Nei","execFooter.exitCode":"Úttakskóði {code}","execFooter.exitCode.unknown":"óþekkt","execFooter.success":"Heppnaðist","feedback.dialog.category.badResult":"Slæm niðurstaða","feedback.dialog.category.bug":"Villa","feedback.dialog.category.goodResult":"Góð niðurstaða","feedback.dialog.category.other":"Annað","feedback.dialog.descriptionPlaceholder":"Lýstu vandamálinu hér","feedback.dialog.dismiss":"Hunsa","feedback.dialog.includeLogsLabel":"Hafa með skrár um núverandi Codex-lotu","feedback.dialog.submit":"Senda","feedback.dialog.submitError":"Ekki tókst að senda inn ábendinguna. Reyndu aftur eftir smá stund.","feedback.dialog.title":"Ábending","feedback.dialog.uploadedMessage.existingIssue":"núverandi opið mál","feedback.dialog.uploadedMessage.openIssue":"opna GitHub-mál","feedback.dialog.uploadedMessage.withThread":"Ábendingu hlaðið upp. Ef vandamálið leysist ekki skaltu {openIssueLink} eða nefna auðkenni þráðsins í {existingIssueLink}:","feedback.dialog.uploadedTitle":"Ábendingu hlaðið upp","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Fjarlægja {filename}","header.back":"Til baka","header.recentChats":"Verkefni","header.recentTasks.seeAll":"Skoða allt ({total})","home.header.getPlus":"Fá Plus","home.hero.letsBuild":"Byrjum að byggja saman","homePage.mainContent":"Aðalinnihald","imageAttachment.defaultName":"mynd","imageAttachment.preview.close":"Loka forskoðun myndar","imageAttachment.removeAriaLabel":"Fjarlægja {filename}","implementPlanRequest.option.implement":"Já, innleiða þessa áætlun","implementPlanRequest.prompt":"Innleiða þessa áætlun?","inbox.archived.deleteError":"Tókst ekki að eyða keyrslu í skráarsafni","inbox.archived.deleteRun":"Eyða keyrslu í skráarsafni","inbox.archived.deleteSuccess":"Þræði í skráasafni eytt. Skoða í <settingsLink>Skráasafni þráða.</settingsLink>.","inbox.archived.inlineLabel.auto":"Þessi þráður var sjálfkrafa settur í skráarsafn. <learnMoreLink>Nánar</learnMoreLink>","inbox.archived.inlineLabel.manual":"Þessi þráður var settur í skráarsafn","inbox.archived.noMessageFound":"Engin skilaboð fundust","inbox.automations.createError":"Gat ekki búið til sjálfvirkni","inbox.automations.deleteConfirm.cancel":"Hætta við","inbox.automations.deleteConfirm.confirm":"Eyða sjálfvirku verkefni","inbox.automations.deleteConfirm.description":"Þetta mun varanlega eyða sjálfvirka verkefninu og stöðva seinni keyrslur.","inbox.automations.deleteConfirm.title":"Eyða {name}?","inbox.automations.deleteError":"Ekki tókst að eyða sjálfvirku verkefni","inbox.automations.editTooltip":"Breyta sjálfvirkni","inbox.automations.inProgress":"Í vinnslu","inbox.automations.new":"Nýtt","inbox.automations.newToolbar":"Ný sjálfvirkni","inbox.automations.pauseTooltip":"Gera hlé á sjálfvirkni","inbox.automations.resumeTooltip":"Endurræsa sjálfvirkni","inbox.automations.startingNow":"Hefst núna","inbox.automations.startsIn":"Byrjar {startTime}","inbox.automations.status.active":"Virkt","inbox.automations.status.paused":"Í bið","inbox.automations.status.runs":"{count} keyrslur","inbox.automations.status.started":"{date} ræst","inbox.automations.updateError":"Gat ekki uppfært sjálfvirkt verkefni","inbox.automations.workspaceFallback":"–","inbox.filter.all":"Allt","inbox.filter.ariaLabel":"Sía atriði í innhólfi","inbox.filter.unread":"Ólesið","inbox.list.archived":"Sett í skráasafn","inbox.list.inProgress":"Í vinnslu","inbox.list.recent":"Lokið","inbox.list.upNext":"Á dagskrá","inbox.mode.automations":"Sjálfvirkni","inbox.mode.automations.beta":"Beta-útgáfa","inbox.noDescription":"Engin lýsing fylgir","inbox.openThread":"Opna þráð","inbox.rightPanel.emptySubtitle":"Gerðu vinnuna sjálfvirka með því að setja upp áætlunarverkefni","inbox.rightPanel.emptySubtitle.learnMore":"Sjálfvirknivæddu vinnu með því að setja upp tímasetta þræði. <link>Nánar</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# virk sjálfvirk verkefni} other {# virk sjálfvirk verkefni}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Engin ólesin sjálfvirk verkefni","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ólesið sjálfvirkt verkefni} other {# ólesin sjálfvirk verkefni}}","inbox.rightPanel.emptyTitle":"Ekkert atriði valið","inbox.rightPanel.noThread":"Enginn þráður fyrir þetta atriði","inbox.rightPanel.quickStart.header":"Byrjaðu með sniðmáti","inbox.untitled":"Óskírt innhólfsatriði","loadingPage.documentationLink":"skjalfesting","loadingPage.errorDescription":"Codex hrundi með eftirfarandi villu:","loadingPage.errorDescription.documentation":"Ýttu á endurhlaða til að endurræsa Codex-viðbótina eða farðu í {documentationLink} til að fá meiri aðstoð.","loadingPage.errorSignal":"Þetta geturðu prófað:","loadingPage.errorTitle":"Villa kom upp","loadingPage.openConfigToml":"Opna Config.toml","loadingPage.reload":"Endurhlaða","localConversation.contextCompacted":"Samhengi sjálfkrafa samanþjappað","localConversation.contextCompacting":"Samanþjappar sjálfkrafa samhengi","localConversation.forkedFromConversation":"Gafflað frá {threadTitle}","localConversation.merge.autoResolve.failed":"Tókst ekki að óska eftir sjálfvirkri úrlausn: {error}","localConversation.merge.autoResolve.sent":"Beiðni um sjálfvirka úrlausn send","localConversation.merge.autoResolveMerge.missingConversation":"Tókst ekki að leysa sjálfkrafa án virks samtals.","localConversation.merge.autoResolveMerge.request":"Leysa sjálfkrafa úr sameinuðum árekstrum","localConversation.modelChanged":"Líkani breytt úr {fromModel} í {toModel}.","localConversation.modelChanged.warning.line1":"Ef skipt er um líkön í miðju samtali mun það draga úr frammistöðu.","localConversation.modelChanged.warning.line2":"Samhengi kann að vera sjálfkrafa þjappað.","localConversation.moveThread.createBranch.label":"Búa til grein","localConversation.moveToLocal.disabled.loading":"Hleður ...","localConversation.moveToLocal.modal.continue":"Halda áfram","localConversation.moveToLocal.modal.destinationLabel":"Færa í","localConversation.moveToLocal.modal.retry":"Reyna aftur","localConversation.moveToWorktree.modal.back":"Til baka","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Grein er þegar til.","localConversation.moveToWorktree.modal.branchesError":"Ekki tókst að hlaða greinar","localConversation.moveToWorktree.modal.branchesLoading":"Hleður greinum…","localConversation.moveToWorktree.modal.branchesRetry":"Reyna aftur","localConversation.moveToWorktree.modal.continue":"Halda áfram","localConversation.moveToWorktree.modal.retry":"Reyna aftur","localConversation.moveToWorktree.modal.trailingSlashError":"Nafn greinar má ekki enda á „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ný-grein","localConversation.personalityChanged":"Skipti yfir í {personality} persónuleika","localConversation.planSummary.collapse":"Fella niður samantekt á áætlun","localConversation.planSummary.collapseTooltip":"Draga saman","localConversation.planSummary.download":"Sækja áætlun","localConversation.planSummary.expand":"Draga út samantekt á áætlun","localConversation.planSummary.expandTooltip":"Stækka","localConversation.planSummary.openInNewWindow":"Opna","localConversation.planSummary.openInNewWindow.tooltip":"Opna í nýjum glugga","localConversation.planSummary.title":"Áskriftarleið","localConversation.planSummary.titleWriting":"Skrifáætlun","localConversation.planSummary.viewPlan":"Draga út áætlun","localConversation.remoteTaskCreated":"Búið til {taskLink} í Codex Cloud","localConversation.remoteTaskCreated.task":"verkefni","localConversation.scrollToBottomButton":"Fara neðst","localConversation.sync.buttonLabel":"Afhenda á staðbundið","localConversation.sync.buttonLabel.tooltip":"Afhentu breytingar á milli þessa verktrés og staðbundnu afgreiðslunnar þinnar.","localConversation.sync.modal.loading.title":"Afhendir breytingar…","localConversation.sync.modal.noChanges":"Engar breytingar","localConversation.syncSetup.branchAriaLabel":"Heiti greinar","localConversation.syncSetup.branchName":"Heiti greinar","localConversation.syncSetup.branchPlaceholder.existing":"Veldu núverandi grein","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Hleður greinum…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Nú þegar afgreitt","localConversation.syncSetup.checkoutClean":"Á {branchName} eins og er","localConversation.syncSetup.checkoutDirty":"Á {branchName} með óstaðfestum breytingum eins og er","localConversation.syncSetup.checkoutError":"Tókst ekki að afgreiða grein: {message}","localConversation.syncSetup.checkoutLabel":"Athuga staðbundið núna","localConversation.syncSetup.checkoutOnLocal":"Afhenda á staðbundið","localConversation.syncSetup.checkoutPending":"Athugar staðbundna stöðu…","localConversation.syncSetup.checkoutUnavailable":"Staðbundið vinnusvæði ekki tiltækt","localConversation.syncSetup.checkoutUnknown":"Staðbundin grein ekki tiltæk","localConversation.syncSetup.continue":"Halda áfram","localConversation.syncSetup.createBranchError":"Tókst ekki að stilla afhendingargrein: {message}","localConversation.syncSetup.error":"Eitthvað fór úrskeiðis: {message}","localConversation.syncSetup.error.workingTreeMissing":"Tókst ekki að taka skyndimynd af verktré. Prófaðu að afhenda aftur.","localConversation.syncSetup.mode.ariaLabel":"Veldu greinarstillingu","localConversation.syncSetup.mode.existing":"Núverandi grein","localConversation.syncSetup.mode.new":"Ný grein","localConversation.syncSetup.noBranches":"Engar greinar fundust","localConversation.syncSetup.overwriteError":"Búið var til grein en hún ekki afhent að fullu. Afhentu handvirkt áður en þú afgreiðir staðbundið.","localConversation.syncSetup.setPrefix":"Stilla forskeyti","localConversation.syncSetup.subtitle":"Prófaðu og breyttu verktrjárbreytingum staðbundið. <a>Nánar</a>","localConversation.syncSetup.success.checkedOut":"Grein hefur verið búin til og afgreidd staðbundið","localConversation.syncSetup.success.notCheckedOut":"Grein búin til","localConversation.syncSetup.title":"Afhenda á staðbundna grein","localConversation.syncWorktreeError.branchAriaLabel":"Heiti greinar","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Veldu grein til að afhenda til og reyndu síðan að hlaða breytingum.","localConversation.syncWorktreeError.branchSetup.title":"Uppfæra grein","localConversation.syncWorktreeError.branchUpdate.cta":"Uppfæra og reyna aftur","localConversation.syncWorktreeError.branchUpdate.error":"Tókst ekki að uppfæra grein: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Eitthvað fór úrskeiðis: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Grein er ekki afgreidd í neinu verktré.","localConversation.syncWorktreeV2.applyUncommitted":"Nota","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Þú verður fyrst að afgreiða greinina staðbundið og virkja óstaðfestar breytingar","localConversation.syncWorktreeV2.branches.empty":"Engar greinar fundust","localConversation.syncWorktreeV2.branches.loading":"Hleður greinum…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Breyta afhendingargrein","localConversation.syncWorktreeV2.changeBranch.error":"Tókst ekki að breyta afhendingargrein: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Tókst ekki að virkja","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Tókst ekki að skrifa yfir verktré","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Tókst ekki að skrifa yfir staðbundið","localConversation.syncWorktreeV2.commandError.back":"Til baka","localConversation.syncWorktreeV2.commandError.body":"Git-skipun mistókst við afhendingu. Farðu yfir úttakið og reyndu aftur.","localConversation.syncWorktreeV2.commandError.retry":"Reyna aftur","localConversation.syncWorktreeV2.description":"Afhentu breytingar á milli staðbundins og þessa verktrés <a>Nánar</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Veldu stefnu afhendingar","localConversation.syncWorktreeV2.error.generic":"Eitthvað fór úrskeiðis við afhendingu. Reyndu aftur.","localConversation.syncWorktreeV2.localBranchLabel":"Staðbundið","localConversation.syncWorktreeV2.noChanges":"Reiknar út breytingar","localConversation.syncWorktreeV2.noChanges.summary":"Engar breytingar","localConversation.syncWorktreeV2.overwrite.local":"Skrifa yfir staðbundið","localConversation.syncWorktreeV2.overwrite.worktree":"Skrifa yfir verktré","localConversation.syncWorktreeV2.partial.action.applyFailed":"Gat ekki notað breytingar","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Tókst ekki skrifað yfir staðbundnar breytingar","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Tókst ekki að skrifa yfir breytingar á verktré","localConversation.syncWorktreeV2.partial.appliedLabel":"Notað","localConversation.syncWorktreeV2.partial.back":"Til baka","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Leystu ágreininga og reyndu aftur.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Árekstrar","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# skrá} other {# skrár}}","localConversation.syncWorktreeV2.partial.retry":"Reyna aftur","localConversation.syncWorktreeV2.partial.skippedLabel":"Sleppt","localConversation.syncWorktreeV2.stateFailed.generic":"Eitthvað fór úrskeiðis við að sækja verktrésbreytingar til að afhenda. Reyndu aftur.","localConversation.syncWorktreeV2.stateFailed.title":"Tókst ekki að hlaða breytingum á verktré","localConversation.syncWorktreeV2.statusError.diffUnknown":"Tókst ekki að hlaða breytingum á verktré.","localConversation.syncWorktreeV2.statusError.retry":"Reyna aftur","localConversation.syncWorktreeV2.statusError.title":"Tókst ekki að hlaða staðbundnum verktrésbreytingum","localConversation.syncWorktreeV2.statusError.unknown":"Staða greinar er ekki tiltæk að svo stöddu. Reyndu aftur.","localConversation.syncWorktreeV2.success.apply":"Breytingar virkjaðar","localConversation.syncWorktreeV2.success.overwrite":"Afhending tókst","localConversation.syncWorktreeV2.title":"Afhenda breytingar","localConversation.syncWorktreeV2.worktreeLabel":"Verktré","localConversation.userInputRequest.inProgress":"Spyr {count, plural, one {spurning} other {spurningar}}","localConversation.userInputRequest.noAnswer":"Engin svör gefin","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Spurt","localConversation.userInputRequest.summary.count":"{count, plural, one {# spurning} other {# spurningar}}","localConversation.workedFor":"Vann í {time}","localConversation.worktreeBranchSetup.action.create":"Búa til","localConversation.worktreeBranchSetup.branchAriaLabel":"Heiti greinar","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Búa til nýja grein","localConversation.worktreeBranchSetup.checkoutDisabled":"Þessi grein hefur nú þegar verið afgreidd á {location}","localConversation.worktreeBranchSetup.checkoutError":"Tókst ekki að afgreiða grein: {message}","localConversation.worktreeBranchSetup.createBranchError":"Tókst ekki að stilla grein: {message}","localConversation.worktreeBranchSetup.error":"Eitthvað fór úrskeiðis: {message}","localConversation.worktreeBranchSetup.subtitle":"Búðu til grein til að staðfesta breytingar, birta og búa til PR úr þessu verktré. <a>Nánar</a>","localConversation.worktreeBranchSetup.title":"Vinna hér","localConversationPage.addWorktreeToSidebar.tooltip":"Vistaðu sem verkefni svo þú getir byrjað nýjan þráð úr þessu verktré","localConversationPage.addWorktreeToSidebarError":"Tókst ekki að bæta við verkefni","localConversationPage.commitAndCreatePrModal.errorTitle":"Tókst ekki að staðfesta og búa til PR","localConversationPage.commitAndCreatePrModal.successTitle":"PR hefur verið staðfest og búið til","localConversationPage.commitAndPushModal.errorTitle":"Staðfesting og birting tókst ekki","localConversationPage.commitAndPushModal.successTitle":"Staðfestar og birtar breytingar","localConversationPage.commitCreatePr.open":"Opna samrunabeiðni","localConversationPage.commitCreatePr.successTitle":"PR búið til með nýjustu breytingunum þínum","localConversationPage.createBranchButtonLabel":"Grein hér","localConversationPage.createPrModal.baseBranch":"Grunnur","localConversationPage.createPrModal.baseBranchUnknown":"–","localConversationPage.createPrModal.confirm":"Búa til samrunabeiðni","localConversationPage.createPrModal.createDescription":"Opna birtingarbeiðni fyrir nýjustu breytingarnar þínar.","localConversationPage.createPrModal.errorTitle":"Samrunabeiðni tókst ekki","localConversationPage.createPrModal.headBranch":"Haus","localConversationPage.createPrModal.headBranchUnknown":"–","localConversationPage.createPrModal.open":"Opna PR","localConversationPage.createPrModal.successTitle":"Samrunabeiðni búin til","localConversationPage.createPrModal.title":"Búa til samrunabeiðni","localConversationPage.createPrModal.viewDescription":"Samrunabeiðni er nú þegar til fyrir þessa grein.","localConversationPage.createPrModal.viewTitle":"Samrunabeiðni tilbúin","localConversationPage.createPullRequestAuthGh":"Staðfestu auðkenni GitHub CLI: keyrðu „gh auth login“","localConversationPage.createPullRequestBranchMissing":"Upplýsingar um grein ekki í boði","localConversationPage.createPullRequestButtonLabel":"Búa til samrunabeiðni","localConversationPage.createPullRequestButtonLabel.loading":"Býr til PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Upplýsingar um sjálfgefna grein ekki í boði","localConversationPage.createPullRequestError":"Ekki tókst að búa til samrunabeiðni","localConversationPage.createPullRequestExistingPullRequest":"Samrunabeiðni er nú þegar til fyrir þessa grein","localConversationPage.createPullRequestGhStatusMissing":"Hleður stöðu GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Settu upp GitHub CLI (gh) til að búa til PR","localConversationPage.createPullRequestNoRepo":"Engin git-gagnahrisla fannst","localConversationPage.createPullRequestPushStatusMissing":"Hleður stöðu birtingar","localConversationPage.createPullRequestSetUpstream":"Tilkynntu þessa grein áður en þú býrð til PR","localConversationPage.createPullRequestSuccessToast":"Samrunabeiðni búin til","localConversationPage.createPullRequestSwitchBranch":"Útritaðu eiginleikagrein áður en þú býrð til PR","localConversationPage.error.render":"Villa við að birta staðbundið samtal","localConversationPage.error.toast":"Samtal fannst ekki","localConversationPage.forcePushError":"Tókst ekki að þvinga birtingu","localConversationPage.generatePullRequestMessageError":"Tókst ekki að búa til titil og efni samrunabeiðnar","localConversationPage.generatePullRequestMessageFailed":"Tókst ekki að búa til titil og efni samrunabeiðnar.","localConversationPage.gitActionResult.branch":"Grein","localConversationPage.gitActionResult.cancel":"Hætta við","localConversationPage.gitActionResult.close":"Loka","localConversationPage.gitActionResult.tryAgain":"Reyna aftur","localConversationPage.gitActions":"Git-aðgerðir","localConversationPage.newChat":"Nýtt spjall","localConversationPage.openInTarget":"Opna í","localConversationPage.openPrimaryTarget":"Opna","localConversationPage.planItemsCompleted":"{completedItems} af {totalItems, plural, one {# verkefni lokið} other {# verkefnum lokið}}","localConversationPage.pushAuthError":"Fjölþætt sannvottun er nauðsynleg","localConversationPage.pushBranchMissing":"Upplýsingar um grein ekki í boði","localConversationPage.pushButtonLabel":"Birting","localConversationPage.pushButtonLabel.loading":"Birtir…","localConversationPage.pushError":"Tókst ekki að birta breytingar","localConversationPage.pushModal.branchLabel":"Grein","localConversationPage.pushModal.branchUnknown":"–","localConversationPage.pushModal.cancel":"Hætta við","localConversationPage.pushModal.confirm":"Búa til","localConversationPage.pushModal.description":"Birta nýjustu staðfestingar i fjargagnahirslunni.","localConversationPage.pushModal.errorTitle":"Birting tókst ekki","localConversationPage.pushModal.forcePush":"Þvinga birtingu","localConversationPage.pushModal.successTitle":"Birtingu lokið","localConversationPage.pushModal.title":"Birta breytingar","localConversationPage.pushModal.tryAgain":"Reyna aftur","localConversationPage.pushNoUpstream":"Stiltu uppstreymi áður en þú birtir þessa grein","localConversationPage.pushNoUpstreamError":"Tilkynning mistókst: ekkert uppstreymi stillt","localConversationPage.pushNothingToPush":"Engar nýjar staðfestingar til að birta","localConversationPage.pushRemoteChangedError":"Tilkynning mistókst: fjarstilling er með nýjar staðfestingar","localConversationPage.pushRemoteRejectedError":"Tilkynningu hafnað af fjarstillingu","localConversationPage.pushStatusMissing":"Hleður stöðu birtingar","localConversationPage.pushSuccessToast":"Birtar breytingar","localConversationPage.viewPullRequestButtonLabel":"Skoða samrunabeiðni","localConversationPage.viewPullRequestButtonLabel.loading":"Hleður samrunabeiðni…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# skrá} other {# skrár}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# listi} other {# listar}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# leit} other {# leitir}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Kannar","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Kannað","localConversationTurn.exploration.accordion.header.complete.withCounts":"Kannaði {counts}","localConversationTurnStory.showContent":"Sýna efni","localConversationTurnStory.streamContent":"Streyma efni","localConversationTurnStory.toggleReasoning":"Sýna röksemdafærslu","localTaskRow.archiveError":"Ekki tókst að setja samtal í skráasafn","localTaskRow.resumeError":"Ekki tókst að halda áfram með verkefni","mermaidDiagram.ariaLabel":"Mermaid-skýringarmynd","mermaidDiagram.copySource":"Afrita mermaid","mermaidDiagram.originalCode":"Mermaid-frumkóði","notifications.permissions.description":"Sýna viðvaranir þegar tilkynningaheimilda er krafist","notifications.permissions.label":"Virkja leyfistilkynningar","notifications.turnMode.always":"Alltaf","notifications.turnMode.description":"Stilltu hvenær Codex lætur þig vita að það sé búið","notifications.turnMode.label":"Tilkynningar um lok lotu","notifications.turnMode.off":"Aldrei","notifications.turnMode.unfocused":"Aðeins þegar slökkt er á einbeitingu","patchApprovalRequest.approve":"Samþykkja","patchApprovalRequest.menu.allowAlways":"Já, ekki spyrja aftur í þessari lotu","patchApprovalRequest.menu.allowForSession":"Já, ekki spurja aftur í þessari lotu","patchApprovalRequest.menu.allowOnce":"Já","patchApprovalRequest.prompt":"Viltu gera þessar breytingar?","patchApprovalRequest.reject":"Nei","patchApprovalRequest.waitingForApproval":"Bíður eftir samþykki fyrir að breyta skrám","pendingRequest.approvalExec.collapse":"Draga saman","pendingRequest.approvalExec.expand":"Stækka","pendingRequestStory.toastAnswer":"Svar: {answer}","pendingRequestStory.toastApprovalTitle":"Samþykkissvar","pendingRequestStory.toastFollowupPrompt":"Skipun: {prompt}","pendingRequestStory.toastFollowupTitle":"Eftirfylgni send","pendingRequestStory.toastNoAnswers":"Engin svör gáfust","pendingRequestStory.toastQuestion":"Spurning: {question}","pendingRequestStory.toastUnknownDecision":"Óþekkt","pendingRequestStory.toastUserInputTitle":"Innsend svör","quickAction.request.codeReview.branches.new":"Skoðaðu breytingar á {from} miðað við {to}","quickAction.request.codeReview.uncommitted.new":"Skoðaðu breytingarnar mínar sem á eftir að staðfesta","reasoningItem.thinking":"Hugsar","reasoningItem.thought":"Hugsaði","reasoningItem.thoughtWithElapsed":"Hugsaði í {elapsed}","recentConversations.title":"Nýleg samtöl","recentTasks.worktreeInitFailedTitle":"Tókst ekki að frumstilla verktré","recentTasks.worktreeSettingUpTitle":"Setur upp verktré","requestInputPanel.continue":"Halda áfram","requestInputPanel.dismiss":"Hunsa","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Skrifaðu hér","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nei, og segðu Codex hvað á að gera öðruvísi","requestInputPanel.selectedBadge":"Valið","requestInputPanel.skip":"Sleppa","requestInputPanel.submit":"Senda","review.commit.ariaLabel.includeUnstaged":"Taka óstigsettar breytingar með","review.commit.buttonLabel":"Staðfesta","review.commit.disabled.committing":"Staðfestir…","review.commit.disabled.loadingDiff":"Hleður diffum…","review.commit.disabled.missingContext":"Bættu við samhengi til að búa til staðfestingarskilaboð","review.commit.disabled.noChanges":"Engar breytingar til að staðfesta","review.commit.disabled.noSelection":"Veldu breytingar til að staðfesta","review.commit.disabled.unavailable":"Staðfesting er ekki í boði eins og er","review.commit.error":"Tókst ekki að staðfesta breytingar","review.commit.form.changesToBeCommitted":"Breytingar","review.commit.form.commitTo":"Grein","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Halda áfram","review.commit.form.title":"Sendu breytingarnar þínar","review.commit.generate.emptyResponse":"Gat ekki búið til staðfestingarskilaboð.","review.commit.generate.failed":"Tókst ekki að búa til staðfestingarskilaboð: {error}","review.commit.generate.missingPrompt":"Bættu við samhengi til að búa til staðfestingarskilaboð.","review.commit.includeUnstaged":"Taka óstigsettar breytingar með","review.commit.loading.description":"Augnablik, þetta gæti tekið smá tíma…","review.commit.loading.step.commit.done":"Staðfestar breytingar","review.commit.loading.step.commit.pending":"Staðfestir breytingar","review.commit.loading.step.createPr.done":"Samrunabeiðni búin til","review.commit.loading.step.createPr.pending":"Býr til samrunabeiðni","review.commit.loading.step.push.done":"Birt á grein {branch}","review.commit.loading.step.push.pending":"Birtir á grein {branch}","review.commit.loading.title.commit":"Staðfestir breytingar","review.commit.loading.title.createPr":"Býr til PR","review.commit.loading.title.push":"Birtir breytingar","review.commit.messageLabel":"Skilaboð við innsendingu","review.commit.messagePlaceholder":"Skildu eftir autt til að búa sjálfkrafa til staðfestingarskilaboð","review.commit.nextSteps":"Næstu skref","review.commit.nextSteps.commit":"Staðfesta","review.commit.nextSteps.commitAndCreate":"Staðfesta og búa til PR","review.commit.nextSteps.commitAndPush":"Staðfesta og birta","review.commit.nextSteps.prRequiresGh":"Krefst GitHub CLI: {command}","review.commit.rows.changes":"Breytingar","review.commit.rows.commitCount":"{count, plural, one {# staðfesting} other {# staðfestingar}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# staðfestingar} other {# staðfestingar}} og {stats}","review.commit.rows.fileCount":"{count, plural, one {# skrá} other {# skrár}}","review.commit.state.error.body":"Eitthvað fór úrskeiðis við að staðfetsa. Athugaðu git-stöðuna þína og reyndu aftur.","review.commit.state.error.title":"Staðfesting mistókst","review.commit.state.success.title":"Breytingar staðfestar","review.commit.untracked.loadingStats":"Hleður óskráðri diff-tölfræði…","reviewFindingAttachments.count":"{count, plural, one {# niðurstaða} other {# niðurstöður}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Breyttu stillingunni þinni til að sérsníða hegðun fulltrúa","settings.agent.configuration.configToml.docs":"Skjöl","settings.agent.configuration.subtitle":"Þessar stillingar eiga við allstaðar þar sem Codex er notað","settings.automations.banner.danger":"Sjálfvirkni keyrir með sjálfgefnum stillingum sandkassans, sem eru nú stilltar á ótakmarkað aðgengi. Að keyra sjálfvirkni í bakgrunni með ótakmörkuðu aðgengi hefur í för með sér aukna áhættu þar sem Codex gæti breytt skrám, keyrt skipanir og fengið aðgang að neti án þess að spyrja. Íhugaðu að uppfæra stillingar sandkassans í vinnusvæðisskrif og nota <rulesDocsLink>reglur</rulesDocsLink> til að skilgreina hvaða skipanir fulltrúinn getur keyrt með ótakmörkuðu aðgengi.","settings.automations.banner.defaultHowTo.default":"Sjálfvirkni keyrir með sjálfgefnum stillingum sandkassans. Verkfæraköll munu mistakast ef þau krefjast þess að breyta skrám utan vinnusvæðisins, fá aðgang að netkerfinu eða vinna með öpp í tölvunni þinni. Þú getur valið að leyfa skipanir að keyra utan sandkassans með því að nota <rulesDocsLink>reglur</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Sjálfvirkni keyrir með sjálfgefnum stillingum sandkassans, sem eru stilltar skrifvarða stillingu. Verkfæraköll munu mistakast ef þau krefjast þess að þú breytir skrám, fáir aðgang að neti eða vinnur með öpp í tölvunni þinni. Íhugaðu að uppfæra stillingar sandkassans til að skrifa á vinnusvæðið.","settings.automations.cancel":"Hætta við","settings.automations.create":"Búa til","settings.automations.cwdEmpty":"Engar verkefnamöppur tiltækar","settings.automations.cwdLabel":"Verkefni","settings.automations.cwdPlaceholder":"Veldu möppu","settings.automations.cwdSubtitle":"Ef þú vilt að sjálfvirkni keyri á ákveðinni grein getur þú tekið það sérstaklega fram í kvaðningunni þinni.","settings.automations.delete":"Eyða","settings.automations.dialog.editTitle":"Breyta sjálfvirkni","settings.automations.dialog.newTitle":"Ný sjálfvirkni","settings.automations.dialog.subtitle":"Gerðu endurtekin verkefni sjálfvirk í bakgrunni. Codex bætir niðurstöðum í pósthólfið eða setur verkefnið sjálfkrafa í skráarsafn ef ekkert er að tilkynna. <learnMoreLink>Nánar</learnMoreLink>","settings.automations.dialog.title":"Búa til sjálfvirkni","settings.automations.executionCopy.git":"Sjálfvirkni keyrir í bakgrunninum í föstum verktrjám.","settings.automations.executionCopy.nonGit":"Sjálfvirkni í verkefnum sem ekki eru með útgáfustýringu keyrir beint í verkefnaskránni. Íhugaðu að nota Git til að virkja keyrslu í bakgrunnsverktrjám.","settings.automations.executionEnvironment.local":"Staðbundið","settings.automations.executionEnvironment.worktree":"Verktré","settings.automations.loading":"Hleður ...","settings.automations.nameLabel":"Heiti","settings.automations.namePlaceholder":"Athugaðu hvort Sentry hafi skráð vandamál","settings.automations.pause":"Gera hlé","settings.automations.promptLabel":"Skipun","settings.automations.promptPlaceholder":"leita að hrunum í $Sentry","settings.automations.resume":"Halda áfram","settings.automations.rruleSummaryFallback":"Sérstillt dagskrá","settings.automations.runNow":"Prófa","settings.automations.save":"Vista","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count} klst.","settings.automations.scheduleBadge.weekdays":"Virkri dagar","settings.automations.scheduleBadge.weekends":"Helgar","settings.automations.scheduleHeader":"Setja á dagskrá","settings.automations.scheduleHours":"klukkustundir","settings.automations.scheduleLabel":"Keyra á","settings.automations.scheduleMode.daily":"Daglega","settings.automations.scheduleMode.interval":"Millibil","settings.automations.scheduleModeLabel":"Tegund áætlunar","settings.automations.scheduleSummary.daily":"Daglega kl. {time}","settings.automations.scheduleSummary.interval":"Á {count} klst. fresti","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dag} other {# daga}}","settings.automations.scheduleSummary.intervalDays":"{interval} þann {days}","settings.automations.scheduleSummary.intervalHourly":"Á klukkustundar fresti","settings.automations.scheduleSummary.singleDay":"{day} kl. {time}","settings.automations.scheduleSummary.weekdays":"Virkir dagar kl. {time}","settings.automations.scheduleSummary.weekdaysLabel":"virkir dagar","settings.automations.scheduleSummary.weekends":"Helgar kl. {time}","settings.automations.scheduleSummary.weekendsLabel":"helgar","settings.automations.scheduleSummary.weekly":"{days} kl. {time}","settings.automations.scheduleWeekdays":"Kveikt","settings.automations.weekdayState.excluded":"Útilokað","settings.automations.weekdayState.included":"Innifalið","settings.conversationDetail.steps":"Skref","settings.conversationDetail.steps.description":"Fela skipanir og úttök","settings.conversationDetail.stepsWithCommands":"Skref með kóðaskipunum","settings.conversationDetail.stepsWithCommands.description":"Sýna skipanir, draga saman frálag","settings.conversationDetail.stepsWithOutput":"Skref með kóðafrálag","settings.conversationDetail.stepsWithOutput.description":"Sýna skipanir og draga út frálag","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ekkert spjall í skráasafni.","settings.dataControls.archivedChats.error":"Gat ekki hlaðið spjöllum úr skráarsafni.","settings.dataControls.archivedChats.loading":"Hleður spjöllum úr skráarsafni…","settings.dataControls.archivedChats.unarchive":"Taka úr skráasafni","settings.dataControls.archivedChats.unarchiveError":"Gat ekki fært spjöll úr skráarsafni…","settings.dataControls.archivedChats.unarchiveSuccess":"Þráður tekinn úr skráarsafni. <viewNowLink>Skoða</viewNowLink>","settings.dataControls.archivedChats.untitled":"Spjall án titils","settings.editRow.headerPlaceholder":"Lykill","settings.editRow.removeEntry":"Fjarlægja færslu","settings.editRow.valuePlaceholder":"Gildi","settings.general.appearance":"Útlit","settings.general.appearance.codeFont":"Leturgerð kóða","settings.general.appearance.codeFont.description":"Stilltu leturgerðina fyrir kóða í spjöllum og diffum","settings.general.appearance.codeFontFamily":"Leturgerð kóða","settings.general.appearance.codeFontSize":"Leturstærð kóða","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Láttu glugga nota einlitan bakgrunn frekar en gegnsæjan kerfisbakgrunn","settings.general.appearance.opaqueWindows.label":"Nota ógegnsæjan gluggabakgrunn","settings.general.appearance.sansFontFamily":"Steinskriftarflokkur","settings.general.appearance.sansFontFamily.description":"Stiltu leturgerðina sem notuð er í Codex notendaviðmótinu","settings.general.appearance.sansFontSize":"Leturstærð steinskriftar","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Sýna fagnaðaráhrif í öllum glugganum á meðan GPT-5.3-Codex-Spark keyrir fyrstu umferðina","settings.general.appearance.sparkCelebrationEffects.label":"Fagnaðar neistaáhrif","settings.general.appearance.theme":"Þema","settings.general.appearance.theme.dark":"Dökkt","settings.general.appearance.theme.description":"Nota ljóst, dimmt eða samsvara kerfisstillingu","settings.general.appearance.theme.light":"Ljóst","settings.general.appearance.theme.system":"Kerfi","settings.general.appearance.usePointerCursors.description":"Breyttu bendlinum í vísi þegar svifið er yfir gagnvirka þætti","settings.general.appearance.usePointerCursors.label":"Nota vísibendla","settings.general.enterBehavior.description":"Ef virkt krefst fjöllína kvaðningar {modifierSymbol} + færsluhnapps til að senda.","settings.general.enterBehavior.label":"Krefst {modifierSymbol} + færsluhnapps til að senda langar kvaðningar","settings.general.experimentalFeatures":"Tilraunaeiginleikar (Beta)","settings.general.experimentalFeatures.empty":"Engir tilrauna beta-eiginleikar tiltækir.","settings.general.experimentalFeatures.loading":"Hleður tilraunaeiginleikum…","settings.general.experimentalFeatures.restartNote":"Endurræstu Codex til að virkja breytingar á tilraunaeiginleikum","settings.general.experimentalFeatures.toggle":"Breyta {featureName}","settings.general.followUpQueueMode.description":"Settu eftirfylgni í biðröð á meðan Codex keyrir eða stýrðu núverandi keyrslu","settings.general.followUpQueueMode.interrupt":"Stýra","settings.general.followUpQueueMode.label":"Eftirfylgnisháttur","settings.general.followUpQueueMode.queue":"Biðröð","settings.general.notifications":"Tilkynningar","settings.general.power.preventSleepWhileRunning.description":"Haltu tölvunni þinni vakandi á meðan Codex keyrir þráð.","settings.general.power.preventSleepWhileRunning.label":"Koma í veg fyrir svefn á meðan keyrslu stendur","settings.git.branchPrefix.ariaLabel":"Forskeyti greinar","settings.git.branchPrefix.description":"Forskeyti notað þegar nýjar greinar eru búnar til í Codex","settings.git.branchPrefix.label":"Forskeyti greinar","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Tókst ekki að vista forskeyti greinar","settings.git.branchPrefix.save.success":"Vistað forskeyti greinar","settings.git.commitInstructions.ariaLabel":"Staðfestingarleiðbeiningar","settings.git.commitInstructions.description":"Bætt við sköpunarkvaðningar staðfestingarskilaboða","settings.git.commitInstructions.label":"Staðfestingarleiðbeiningar","settings.git.commitInstructions.placeholder":"Bættu við leiðbeiningum fyrir staðfestingarskilaboð…","settings.git.commitInstructions.save":"Vista","settings.git.commitInstructions.save.error":"Tókst ekki að vista staðfestingarleiðbeiningar","settings.git.commitInstructions.save.success":"Staðfestingarleiðbeiningar vistaðar","settings.git.forcePush.ariaLabel":"Þvinga alltaf sjálfvirkar tilkynningar","settings.git.forcePush.description":"Nota --force-with-lease þegar birt er frá Codex","settings.git.forcePush.label":"Þvinga alltaf sjálfvirkar tilkynningar","settings.git.forcePush.save.disabled":"Slökkt á þvinguðum sjálfvirkum tilkynningum","settings.git.forcePush.save.enabled":"Kveikt á þvinguðum sjálfvirkum tilkynningum","settings.git.forcePush.save.error":"Tókst ekki að vista stillingu þvingaðrar sjálfvirkrar tilkynningar","settings.git.prInstructions.ariaLabel":"Leiðbeiningar fyrir samrunabeiðnir","settings.git.prInstructions.description":"Bætt við efni samrunabeiðna búnar til af Codex","settings.git.prInstructions.label":"Leiðbeiningar fyrir samrunabeiðnir","settings.git.prInstructions.placeholder":"Bættu við leiðbeiningum fyrir samrunabeiðni…","settings.git.prInstructions.save":"Vista","settings.git.prInstructions.save.error":"Tókst ekki að vista leiðbeiningar fyrir samrunabeiðnir","settings.git.prInstructions.save.success":"Leiðbeiningar fyrir samrunabeiðnir vistaðar","settings.ide.defaultOpenTarget.description":"Þar sem skrár og möppur opnast sjálfkrafa","settings.ide.defaultOpenTarget.label":"Sjálfgefin staðsetning opnunar","settings.ide.defaultOpenTarget.placeholder":"Engin markmið fundust","settings.ide.language.auto":"Greina sjálfkrafa","settings.ide.language.autoOption":"Greina sjálfkrafa","settings.ide.language.description":"Tungumál viðmóts apps","settings.ide.language.label":"Tungumál","settings.ide.language.search":"Leitartungumál","settings.layout.actionButton":"Byrja aftur á lengingu","settings.layout.actionTitle":"Stillingar með aðgerðum","settings.layout.fullWidthTitle":"Stillingar (full breidd)","settings.layout.title":"Stillingar","settings.localEnvironments.actions.add":"Bæta við aðgerð","settings.localEnvironments.actions.add.description":"Búa til nýja skipun til að keyra úr tækjastikunni.","settings.localEnvironments.actions.add.save":"Vista","settings.localEnvironments.actions.empty":"Bæta við aðgerð til að keyra skipanir úr staðbundnu tækjastikunni.","settings.localEnvironments.actions.icon.debug":"Villuleit","settings.localEnvironments.actions.icon.run":"Keyra","settings.localEnvironments.actions.icon.test":"Prófa","settings.localEnvironments.actions.icon.tool":"Verkfæri","settings.localEnvironments.actions.item.button.delete":"Eyða","settings.localEnvironments.actions.item.command":"Aðgerðarskrifta","settings.localEnvironments.actions.item.name":"Heiti","settings.localEnvironments.actions.item.platforms":"Vettvangar","settings.localEnvironments.actions.item.platforms.help":"Aðeins keyra á tilteknu stýrikerfi.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Val á vettvangi","settings.localEnvironments.actions.item.platforms.specific":"Sértækt fyrir vettvang","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Eyða","settings.localEnvironments.actions.title":"Aðgerðir","settings.localEnvironments.breadcrumb.back":"Til baka","settings.localEnvironments.breadcrumb.edit":"breyta","settings.localEnvironments.breadcrumb.root":"Umhverfi","settings.localEnvironments.environment.actions.description":"Þessar aðgerðir geta keyrt hvaða skipun sem er og verða sýndar í síðuhausnum.","settings.localEnvironments.environment.actionsLabel":"Aðgerðir","settings.localEnvironments.environment.create":"Búðu til staðbundið umhverfi","settings.localEnvironments.environment.defaultName":"staðbundið","settings.localEnvironments.environment.edit":"Breyttu staðbundnu umhverfi","settings.localEnvironments.environment.empty":"Staðbundið umhverfi hefur ekki verið búið til fyrir þetta verkefni ennþá.","settings.localEnvironments.environment.name":"Heiti","settings.localEnvironments.environment.setup":"Uppsetningarskrift","settings.localEnvironments.environment.setup.description":"Þessi skrifta keyrir þegar vinnutré er stofnað.","settings.localEnvironments.environment.setup.hint":"Keyrir í rót verkefnisins.","settings.localEnvironments.environment.setup.platformOverrides":"Yfirskriftir vettvangs","settings.localEnvironments.environment.setup.platformOverrides.add":"Bæta við {platform} uppsetningarskrift","settings.localEnvironments.environment.setup.platformOverrides.description":"Yfirskrifar sjálfgefna skriftu fyrir ákveðin stýrikerfi.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Fjarlægja","settings.localEnvironments.environment.setup.script":"Skrifta","settings.localEnvironments.environment.title":"Upplýsingar um umhverfi","settings.localEnvironments.file.missing":"Vista til að búa til þessa skrá í fyrsta sinn.","settings.localEnvironments.file.parseError":"Ekki tókst að túlka núverandi skrá. Með því að vista verður skrifað yfir hana. ({error})","settings.localEnvironments.file.path":"Skrá: {path}","settings.localEnvironments.file.readError":"Ekki tókst að hlaða inn gögnum staðbundins umhverfis. ({error} )","settings.localEnvironments.file.title":"Skrá staðbundins umhverfis","settings.localEnvironments.loading.body":"Sækir stillingar verkefnisins þíns.","settings.localEnvironments.loading.title":"Hleður staðbundnum umhverfum","settings.localEnvironments.preview.devOnly":"(Aðeins DEV)","settings.localEnvironments.preview.save":"Vista","settings.localEnvironments.preview.saveError":"Ekki tókst að vista skrá. ({error})","settings.localEnvironments.preview.title":"Forskoða","settings.localEnvironments.save.disabled.name":"Bættu við heiti umhverfis til að vista.","settings.localEnvironments.save.disabled.noChanges":"Engar breytingar til að vista.","settings.localEnvironments.save.disabled.saving":"Vistar...","settings.localEnvironments.save.success":"Staðbundið umhverfi vistað","settings.localEnvironments.unavailable.body":"Ekki tókst að hlaða inn stillingum staðbundins umhverfis fyrir þetta verkefni.","settings.localEnvironments.unavailable.title":"Staðbundin umhverfi ekki tiltæk","settings.localEnvironments.workspace.add":"Bæta við verkefni","settings.localEnvironments.workspace.title":"Verkefni","settings.localEnvironments.workspaceSelect.addLabel":"Bæta við umhverfi","settings.localEnvironments.workspaceSelect.description":"Staðbundin umhverfi segja Codex hvernig skal setja upp verktré fyrir verkefni. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Engin verkefni ennþá. Bættu við verkefni til að stilla staðbundin umhverfi.","settings.localEnvironments.workspaceSelect.errorLabel":"Athuga þarf umhverfið","settings.localEnvironments.workspaceSelect.learnMore":"Nánar","settings.localEnvironments.workspaceSelect.listLabel":"Tiltæk verkefni","settings.localEnvironments.workspaceSelect.loading":"Hleður verkefnum.","settings.localEnvironments.workspaceSelect.loadingLabel":"Verið að hlaða umhverfi","settings.localEnvironments.workspaceSelect.title":"Velja verkefni","settings.localEnvironments.workspaceSelect.viewAction":"Skoða","settings.mcp.addServer":"Bæta við þjóni","settings.mcp.app.configure":"Stilla","settings.mcp.app.connect":"Tengja","settings.mcp.apps.refresh":"Endurnýja","settings.mcp.detail.addArgument":"Bæta við frumgildi","settings.mcp.detail.addEnvVar":"Bæta við umhverfisbreytu","settings.mcp.detail.addEnvVarPassthrough":"Bæta við breytu","settings.mcp.detail.args":"Frumgildi","settings.mcp.detail.back":"Til baka","settings.mcp.detail.command":"Skipun um að ræsa","settings.mcp.detail.cwd":"Vinnuskráarsafn","settings.mcp.detail.docs":"Opna MCP-skjöl","settings.mcp.detail.docs.link":"Skjöl","settings.mcp.detail.envVarPassthrough":"Gegnumganga umhverfisbreytu","settings.mcp.detail.envVars":"Umhverfisbreytur","settings.mcp.detail.http.addEnvHeader":"Bæta við breytu","settings.mcp.detail.http.addHeader":"Bæta við haus","settings.mcp.detail.http.bearerToken":"Tákn handhafa env var","settings.mcp.detail.http.envHeaders":"Hausar frá umhverfisbreytum","settings.mcp.detail.http.headers":"Hausar","settings.mcp.detail.http.url":"Vefslóð","settings.mcp.detail.name":"Heiti","settings.mcp.detail.save":"Vista","settings.mcp.detail.switchTransportNotice":"Ef þú vilt skipta um MCP-þjónstegund skaltu fyrst fjarlægja hugbúnaðinn.","settings.mcp.detail.titleExisting":"Uppfæra {name} MCP","settings.mcp.detail.titleNew":"Tengja við sérsniðið MCP","settings.mcp.detail.transport.http":"HTTP sem hægt er að streyma","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Fjarlægja","settings.mcp.empty":"Engir sérsniðnir MCP-þjónar tengdir","settings.mcp.myServers":"Sérsniðnir þjónar","settings.mcp.partnerServer.description.figma":"Búðu til betri kóða með því að notfæra allt Figma-samhengi","settings.mcp.partnerServer.description.github":"Innleiddu með GitHub API til að gera vinnuferli sjálfvirk og draga út gögn","settings.mcp.partnerServer.description.linear":"Innleiddu vandamálavöktun Linear og verkefnaumsjón","settings.mcp.partnerServer.description.notion":"Lestu skjöl, uppfærðu síður, hafðu umsjón með verkefnum","settings.mcp.partnerServer.description.playwright":"Innleiddu sjálfvirkni vefvafra til að innleiða hönnun og prófa notendaviðmót.","settings.mcp.partnerServer.install":"Setja upp","settings.mcp.partnerServer.installAndAuthenticate":"Setja upp og staðfesta","settings.mcp.partnerServer.logoAlt":"Lógó {label}","settings.mcp.partnerServer.manage":"Stjórna","settings.mcp.partnerServer.vendor":"eftir {vendor}","settings.mcp.recommendedServers":"Ráðlagðir þjónar","settings.mcp.restartApp":"Byrja aftur","settings.mcp.restartExtension":"Byrja aftur á lengingu","settings.mcp.server.enable":"Kveikja","settings.mcp.server.login":"Staðfesta auðkenni","settings.mcp.server.settings":"Stillingar","settings.multiselect.createOption":"Búa til „{value}“","settings.multiselect.removeOption":"Fjarlægja","settings.nav.account":"Reikningur","settings.nav.agent":"Stilling","settings.nav.ariaLabel":"Stillingar","settings.nav.back":"Til baka í app","settings.nav.data-controls":"Þræðir í skráarsafni","settings.nav.environments":"Skýjaumhverfi","settings.nav.externalTooltip":"[alpha] Opnast í vafra","settings.nav.general-settings":"Almennt","settings.nav.git-settings":"Git","settings.nav.local-environments":"Umhverfi","settings.nav.mcp-settings":"MCP-þjónar","settings.nav.notImplemented":"[alpha] Ekki í boði í Alpha","settings.nav.personalization":"Sérsnið","settings.nav.skills-settings":"Hæfileikar","settings.nav.usage-analytics":"Notkun og greining","settings.nav.worktrees":"Verktré","settings.openSourceLicenses.back":"Til baka","settings.openSourceLicenses.loading":"Hleður ...","settings.openSourceLicenses.missing":"Engir fyrirvarar þriðja aðila fundust.","settings.openSourceLicenses.notSupported":"Ekki í boði í þessum hýsingaraðila enn.","settings.openSourceLicenses.rowDescription":"Fyrirvarar þriðja aðila fyrir samantekin ákvæði","settings.openSourceLicenses.rowLabel":"Leyfi fyrir opinn hugbúnað","settings.openSourceLicenses.subtitle":"Fyrirvarar þriðja aðila fyrir ákvæði fylgir með þessu appi","settings.openSourceLicenses.title":"Leyfi fyrir opinn hugbúnað","settings.openSourceLicenses.view":"Skoða","settings.personalization.agents.description":"Breyttu leiðbeiningum til að sérsníða Codex að þínum þörfum. {learnMore}","settings.personalization.agents.learnMore":"Nánar","settings.personalization.agents.loadError":"Tókst ekki að hlaða fulltrúum.md.","settings.personalization.agents.loading":"Hleður fulltrúum.md…","settings.personalization.agents.placeholder":"Bættu við sérsniðnum leiðbeiningum…","settings.personalization.agents.retry":"Reyna aftur","settings.personalization.agents.save":"Vista","settings.personalization.agents.save.error":"Gat ekki vistað fulltrúa.md","settings.personalization.agents.save.success":"Vistaðir fulltrúar.md","settings.personalization.agents.title":"Sérsniðnar leiðbeiningar","settings.personalization.personality.description":"Veldu sjálfgefin tón fyrir svör Codex","settings.personalization.personality.label":"Persónuleiki","settings.sample.contentBody":"Notaðu þetta útlitssnið til að búa til stillingaglugga með samræmdum bilum.","settings.sample.contentTitle":"Dæmi um efnisblokk","settings.section.account":"Reikningur","settings.section.agent":"Stilling","settings.section.data-controls":"Þræðir í skráarsafni","settings.section.environments":"Skýjaumhverfi","settings.section.external":"Opnast í vafranum þínum á Alpha-stigi","settings.section.general-settings":"Almennt","settings.section.git-settings":"Git","settings.section.local-environments":"Umhverfi","settings.section.mcp-settings":"MCP-þjónar","settings.section.mcp-settings.docs":"Skjöl","settings.section.mcp-settings.subtitle":"Tengdu ytri verkfæri og gagnaheimildir.","settings.section.personalization":"Sérsnið","settings.section.skills-settings":"Hæfileikar","settings.section.unavailable":"Ekki í boði í Alpha ennþá","settings.section.usage-analytics":"Notkun og greining","settings.section.worktrees":"Verktré","settings.threadDetail.description":"Veldu hve mikið skipanafrálag á að sýna í þráðum","settings.threadDetail.label":"Smáatriði þráða","settings.worktrees.conversation.untitled":"Samtal án titils","settings.worktrees.delete.error":"Tókst ekki að eyða verktré","settings.worktrees.empty.body":"Verktré sem Codex býr til munu birtast hér.","settings.worktrees.empty.title":"Engin verktré enn sem komið er","settings.worktrees.error.body":"Eitthvað fór úrskeiðis við að hlaða verktrjám.","settings.worktrees.error.retry":"Reyna aftur","settings.worktrees.error.title":"Tókst ekki að hlaða verktrjám","settings.worktrees.loading.body":"Sækir upplýsingar um verktré.","settings.worktrees.loading.title":"Hleður verktrjám","settings.worktrees.repository.loading":"Hleður lýsigögnum gagnahirslu…","settings.worktrees.repository.unknown":"Óþekkt gagnahirsla","settings.worktrees.row.conversations":"Samtöl","settings.worktrees.row.conversations.empty":"Engin samtöl tengd við þetta verktré.","settings.worktrees.row.conversations.loading":"Hleður samtölum…","settings.worktrees.row.delete":"Eyða","settings.worktrees.row.title":"Verktré","sidebarElectron.addWorkspaceRoot":"Bæta við nýju verkefni","sidebarElectron.archiveThread":"Setja þráð í skráarsafn","sidebarElectron.archiveThreadError":"Ekki tókst að setja þráð í skráasafn","sidebarElectron.collapseFolder":"Draga saman möppu","sidebarElectron.createStableWorktree.dialog.cancel":"Hætta við","sidebarElectron.createStableWorktree.dialog.create":"Búa til","sidebarElectron.debugNavLink":"Villuleit","sidebarElectron.editWorkspaceRootOptionName":"Breyta heiti","sidebarElectron.expandFolder":"Stækka möppu","sidebarElectron.groupByMenu.recency":"Listi í tímaröð","sidebarElectron.groupByMenu.title":"Skipuleggja","sidebarElectron.groupByMenu.workspace":"Eftir verkefni","sidebarElectron.inboxRouteNavLink":"Sjálfvirkni","sidebarElectron.markThreadUnread":"Merkja sem ólesið","sidebarElectron.missingWorkspaceRoot":"Þessari verkefnamöppu var eytt eða hún var færð","sidebarElectron.newThread":"Nýr þráður","sidebarElectron.newThreadInGroup":"Opna nýjan þráð í {folder}","sidebarElectron.noRecentThreads":"Engir nýlegir þræðir","sidebarElectron.noTasks":"Engir þræðir","sidebarElectron.noTasks.start":"Bæta við nýju verkefni","sidebarElectron.noTasksWithFilter":"Engir þræðir passa við síur","sidebarElectron.pinnedThreads":"Festir þræðir","sidebarElectron.recentNavLink":"Þræðir","sidebarElectron.recentThreads":"Nýlegir þræðir","sidebarElectron.removeWorkspaceRootOption":"Fjarlægja","sidebarElectron.renameThread":"Endurnefna þráð","sidebarElectron.renameThreadDialogAriaLabel":"Titill þráðs","sidebarElectron.renameThreadDialogCancel":"Hætta við","sidebarElectron.renameThreadDialogPlaceholder":"Bæta við titli…","sidebarElectron.renameThreadDialogSave":"Vista","sidebarElectron.renameThreadDialogSubtitle":"Hafðu titilinn stuttan og auðþekkjanlegan.","sidebarElectron.renameThreadDialogTitle":"Endurnefna þráð","sidebarElectron.renameThreadError":"Tókst ekki að endurnefna þráð","sidebarElectron.renameWorkspaceRootOptionLabel":"Skjáheiti","sidebarElectron.showLess":"Sýna minna","sidebarElectron.showMenu.all":"Allir þræðir","sidebarElectron.showMenu.relevant":"Viðeigandi","sidebarElectron.showMenu.relevantHint":"Sýna aðeins nýlega þræði fyrir núverandi grein, verktré eða aðra þræði sem þarfnast athygli þinnar","sidebarElectron.showMenu.title":"Sýna","sidebarElectron.showMenu.tooltip":"Sía, raða og skipuleggja spjallþræði","sidebarElectron.showMenu.trigger":"Sía umræður í hliðarstiku","sidebarElectron.showMore":"Sýna meira","sidebarElectron.skillsRouteNavLink":"Hæfileikar","sidebarElectron.sortMenu.created":"Búið til","sidebarElectron.sortMenu.title":"Raða eftir","sidebarElectron.sortMenu.updated":"Uppfært","sidebarElectron.taskNavigation":"Sjálfvirknimöppur","sidebarElectron.tasksInFolder":"Sjálfvirkniferli í {folder}","sidebarElectron.workspaceOptions":"Aðgerðir verkefna fyrir {folder}","sidebarElectron.worktreeGroupTooltip":"Þetta er git-verktré","skills.appsPage.createSkill":"Nýr hæfileiki","skills.appsPage.empty.skills":"Engir hæfileikar fundust","skills.appsPage.search.skills":"Leita að hæfileikum","skills.appsPage.search.skills.label":"Leita að hæfileikum","skills.appsPage.section.installedApps":"Uppsett","skills.appsPage.section.skills":"Hæfileikar","skills.appsPage.subheading":"Ljáðu Codex ofurkrafta.<link>Nánar</link>","skills.appsPage.tab.recommended":"Mælt með","skills.appsPage.tab.skills":"Hæfileikar","skills.card.contentsError":"Tókst ekki að hlaða hæfileikainnihaldi.","skills.card.disable":"Slökkva","skills.card.disableSuccess":"Slökkt á {skillName} hæfileika","skills.card.disabledBadge":"Slökkt","skills.card.enable":"Kveikja","skills.card.enableSuccess":"{skillName} hæfileiki virkjaður","skills.card.loadingContents":"Hleður inn hæfileikaefni…","skills.card.more":"Fleiri aðgerðir","skills.card.open":"Opna","skills.card.removeFailed":"Tókst ekki að fjarlægja hæfileika","skills.card.removeSuccess":"{skillName} hæfileiki fjarlægður","skills.card.toggleEnabledError":"Tókst ekki að uppfæra hæfileika","skills.card.try":"Prófa","skills.card.trySkill":"Prófa hæfileika","skills.card.uninstall":"Fjarlægja","skills.hero.dotLabel":"Fara á skyggnu {index}","skills.hero.next":"Hæfileiki næsta eiginleika","skills.hero.trySkill":"Prófa hæfileika","skills.page.createSkill":"Nýr hæfileiki","skills.page.empty":"Engir hæfileikar fundust","skills.page.filteredEmpty":"Engir hæfileikar passa við síurnar þínar","skills.page.filteredEmptyDescription":"Reyndu að fínstilla leitina eða stillingar fyrir umfang","skills.page.heading":"Hæfileikar","skills.page.loading":"Hleður hæfileikum…","skills.page.refreshSkills":"Endurnýja","skills.page.refreshSkillsToUseNew":"Endurhladdu til að nota nýjan/nýja hæfileika","skills.page.search":"Leita að hæfileikum","skills.page.search.label":"Leita að hæfileikum","skills.page.subheading":"Ljáðu Codex ofurkrafta.<link>Nánar</link>","skills.preview.copyPrompt":"Afrita skipun","skills.preview.examplePrompt":"Dæmi um kvaðningu","skills.recommended.error":"Tókst ekki að hlaða hæfileikum sem mælt er með","skills.recommended.install":"Setja upp","skills.recommended.installSkill":"Setja upp hæfileika","skills.recommended.installSuccess":"{skillName} hæfileiki settur upp","skills.recommended.installed":"Uppsett","skills.scope.admin":"Stjórnandi","skills.scope.adminInstalled":"Umsjónarmaður settur upp","skills.scope.builtIn":"Kerfi","skills.scope.personal":"Persónulegt","skills.scope.repo":"Gagnahirsla","skills.scope.system":"Kerfi","skills.scope.team":"Team","skills.scope.user":"Notandi","skills.section.installed":"Uppsett","skills.section.recommended":"Mælt með","story.slidingToggle.existing":"Núverandi","story.slidingToggle.fromLocal":"Frá staðbundnu","story.slidingToggle.new":"Nýtt","story.slidingToggle.toLocal":"Í staðbundið","terminal.close":"Loka útstöð","terminal.title":"Útstöð","thinkingShimmer.default":"Hugsar","threadEnvIcon.cloudTooltip":"Þetta samtal er keyrt í Codex Cloud.","threadEnvIcon.localTooltip":"Þetta samtal er keyrt staðbundið.","threadEnvIcon.worktreeTooltip":"Þetta samtal er í staðbundnu git-verktré","threadHeader.archiveConfirmCancel":"Hætta við","threadHeader.archiveConfirmConfirm":"Setja í skráasafn","threadHeader.copySessionId":"Afrita auðkenni lotu","threadHeader.copyWorkingDirectory":"Afrita vinnuskráarsafn","threadHeader.forkIntoLocal":"Gaffla í staðbundið","threadHeader.forkIntoWorktree":"Gaffla í nýtt verktré","threadHeader.forkPendingWorktreePrompt":"Gafflaðu þessu samtali í nýtt verktré.","threadHeader.forkPendingWorktreeTitle":"Gafflað samtal","threadHeader.forkThreadError":"Tókst ekki að gaffla þráð","threadHeader.forkThreadRequiresGitRepo":"Að gaffla í nýtt verktré krefst git-geymslu","threadHeader.moreActions":"Aðgerðir þráðar","threadPage.newThread":"Nýr þráður","threadPage.runAction.changeEnvironment":"Breyta um umhverfi","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} aðgerðir","threadPage.runAction.environmentSelector.label":"Velja umhverfi","threadPage.runAction.label":"Keyra","threadPage.runAction.missing.label":"Setja upp keyrsluaðgerð","threadPage.runAction.setup.commandLabel":"Skipun um að keyra","threadPage.runAction.setup.description":"Segðu Codex hvernig ákvæði eru sett upp og hvernig appið þitt er ræst.","threadPage.runAction.setup.editMore":"Umhverfisstillingar","threadPage.runAction.setup.placeholder":"t.d.: npm install npm run","threadPage.runAction.setup.submit":"Vista og keyra","threadPage.runAction.setup.title":"Keyra","threadPage.runAction.tooltip.withEnvironment":"{environmentName} aðgerðir","threadPage.toggleDiffPanel":"Skipta um diff-borð","threadPage.toggleTerminal":"Skipta um útstöð","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Opna möppu","toolSummaryForCmd.exploredFiles":"<verb>Skráðar</verb> skrár","toolSummaryForCmd.exploredFilesInPath":"<verb>Skráðar</verb> skrár í {path}","toolSummaryForCmd.exploringFiles":"<verb>Skráir</verb> skrár","toolSummaryForCmd.exploringFilesInPath":"<verb>Skráir</verb> skrár í {path}","toolSummaryForCmd.ranGenericCommand":"<status>Keyrði skipun</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Keyrði</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lesa</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Keyrir skipun</status>{timer}","toolSummaryForCmd.runningTimer":"fyrir {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Leitaði</verb> að {query}","toolSummaryForCmd.searchedForFiles":"<verb>Leitaði</verb> að skrám","toolSummaryForCmd.searchedForInPath":"<verb>Leitaði</verb> að {query} í {path}","toolSummaryForCmd.searchingFor":"<verb>Leitar</verb> að {query}","toolSummaryForCmd.searchingForFiles":"<verb>Leitar</verb> að skrám","toolSummaryForCmd.searchingForInPath":"<verb>Leitar</verb> að {query} í {path}","traceRecording.startDetails.cancel":"Hætta við","wham.diff.addComment":"Bæta við ummælum","wham.diff.binaryFile":"Tvíundarskrá ekki sýnd","wham.diff.noContent":"Ekkert innihald","wham.fileTag.deleted":"Eytt","wham.fileTag.new":"Nýtt","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} klst.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} mín.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}má","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}v","wham.formattedRelativeDateTime.compactYearsAgo":"{value}á","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Vinnur í verkefninu","wham.whamProposedTask.title":"Tillaga að verkefni","wham.whamProposedTask.useSuggestion":"Nota tillögu","workspaceRootDialog.addError":"Tókst ekki að bæta við verkefni","workspaceRootDialog.cancel":"Hætta við","workspaceRootDialog.confirmAdd":"Bæta við verkefni","workspaceRootDialog.confirmPick":"Nota verkefni","workspaceRootDialog.description":"Sláðu inn slóð á {host} til að nota sem verkefni.","workspaceRootDialog.pathLabel":"Slóð verkefnis","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Bæta við slóð verkefnis","workspaceRootDialog.title.pick":"Veldu slóð verkefnis","worktreeInitV2.cancel":"Hætta við","worktreeInitV2.notification.failedTitle":"Uppsetning vinnutrés mistókst","worktreeInitV2.output.empty":"Beðið eftir niðurstöðu…","worktreeInitV2.status.error":"Uppsetning vinnutrés mistókst.","worktreeInitV2.status.running":"Verið er að búa til vinnutré og uppsetning er í gangi.","worktreeInitV2.status.runningFork":"Býr til verktré til að gaffla þetta samtal.","worktreeInitV2.status.success":"Vinnutré er tilbúið.","worktreeInitV2.title":"Býr til verktré","worktreeInitV2.workLocallyInstead":"Vinna staðbundið í staðinn","worktreeRestoreBanner.body":"Þráður þessa verktrés var fjarlægður til að spara geymslupláss","worktreeRestoreBanner.missing.body":"Verkskráarslóð þessa þráðs er ekki lengur til","worktreeRestoreBanner.missing.title":"Núverandi verkskráarslóð vantar","worktreeRestoreBanner.restore.error":"Ekki tókst að endurheimta verktré: {message}","worktreeRestoreBanner.restore.success":"Verktré endurheimt","worktreeRestoreBanner.restoreCta":"Endurheimta verktré","worktreeRestoreBanner.title":"Verktré snyrt"};Object.assign(e,globalThis.codexI18nOverrides?.["is-IS"]);export{e as default};
 //# sourceMappingURL=is-IS-UMRY_1V7.js.map
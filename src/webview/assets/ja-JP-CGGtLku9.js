@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"コピーする","app.sidebar.hide":"サイドバーを非表示にする","app.sidebar.show":"サイドバーを表示する","app.sidebar.tooltip":"サイドバーを切り替える","appHeader.installUpdate":"更新する","appSunset.body":"このバージョンのアプリはサポートが終了しました。<here>こちら</here>で最新バージョンをダウンロードしてください。","appSunset.title":"更新が必要です","automation.updateDirective.create":"作成する","automation.updateDirective.open":"開く","automation.updateDirective.untitled":"タイトルのない自動化","automation.updateDirective.update":"更新する","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {試行回数：#}}","cloudTaskRow.archiveError":"タスクをアーカイブできませんでした","code.diff.requestChange":"変更リクエスト","code.diffComment.cancel":"キャンセルする","code.diffComment.comment":"コメント","code.diffComment.delete":"削除する","code.diffComment.save":"保存する","codeReviewAssistant.location":"{file}：{start}～{end}","codeReviewAssistant.noFindings":"検出結果はありませんでした。","codex.alert.closeAriaLabel":"閉じる","codex.appUpsellBanner.cbpApi.message":"Codex アプリを使用してより迅速に構築できます。今すぐダウンロードするか、{learnMoreLink}。","codex.appUpsellBanner.download":"ダウンロードする","codex.appUpsellBanner.freeGo.message":"3 月 2 日まではお使いのプランで Codex をご利用いただけます。Codex アプリで構築をスピードアップしましょう。","codex.appUpsellBanner.later":"後で","codex.appUpsellBanner.learnMoreLowercase":"詳細はこちら","codex.appUpsellBanner.new":"新規","codex.appUpsellBanner.proPlusBusiness.message":"4 月 2 日までは 2 倍のレート制限で Codex アプリをお試しいただけます。今すぐダウンロードするか、{learnMoreLink}。","codex.appUpsellBanner.title":"Codex アプリ","codex.applyDropdown.header.changes":"変更","codex.applyDropdown.header.fileCount":"{count, plural, other {#個のファイル}}","codex.applyDropdown.header.rows":"行","codex.applyDropdown.header.title":"変更を適用する","codex.applyDropdown.header.workspace":"プロジェクト","codex.applyDropdown.results.conflicted":"{count, plural, other {競合しているファイル：{count}件}}","codex.applyDropdown.results.empty":"コピーされたファイルはありません","codex.applyDropdown.results.skipped":"{count, plural, other {スキップされたファイル：{count}件}}","codex.applyOrRevertBanner.apply":"適用する","codex.applyOrRevertBanner.applyMessage":"変更を適用して、ローカル環境で続行しますか？","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"このタスクは {environment} で作成されたため、正常に適用されない可能性があります。","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"変更は {environment} で実行されたため、正常に適用されない可能性があります。","codex.applyOrRevertBanner.reapply":"再適用する","codex.applyOrRevertBanner.revert":"戻す","codex.applyOrRevertBanner.revertMessage":"適用された変更を元に戻しますか？","codex.applyResultsDialog.applied":"適用が正常に完了（{count}件）","codex.applyResultsDialog.close":"閉じる","codex.applyResultsDialog.conflicted":"競合あり（{count}件）","codex.applyResultsDialog.noDetails":"ファイルの詳細はありません。","codex.applyResultsDialog.skipped":"スキップ済み（{count}件）","codex.applyResultsDialog.title":"結果を適用する","codex.archiveInfo":"{dataControlsLink} でアーカイブ済みのチャットを表示します。","codex.archiveInfo.dataControlsLink":"データ コントロール","codex.archiveInfo.electron":"{settingsLink} でアーカイブ済みのチャットを表示します。","codex.archiveInfo.extension":".codex フォルダー内のアーカイブ済みのチャットを表示します。","codex.archiveInfo.settingsLink":"設定","codex.banner.content.description":"複数タスクの並行処理、あらゆる環境での進捗追跡、AI による PR レビュー。","codex.banner.content.headline":"Codex はこれらの作業すべてに対応します。","codex.cloudTaskRow.archiveTask":"タスクをアーカイブする","codex.cloudTaskRow.confirmArchiveTask":"確認","codex.command.feedback":"フィードバック","codex.command.findInThread":"検索","codex.command.forceReloadSkills":"再読み込み強制スキル","codex.command.logOut":"ログアウト","codex.command.manageTasks":"タスクを管理する","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"前へ","codex.command.navigateForward":"進む","codex.command.newThread":"新しいスレッド","codex.command.nextThread":"次のスレッド","codex.command.openFolder":"フォルダーを開く","codex.command.openSkills":"スキルに移動","codex.command.openThreadOverlay":"スレッドを開く","codex.command.personalitySettings":"性格","codex.command.previousThread":"前のスレッド","codex.command.settings":"設定","codex.command.toggleDiffPanel":"差分パネルを切り替える","codex.command.toggleSidebar":"サイドバーを切り替える","codex.command.toggleTerminal":"ターミナルを切り替える","codex.commandGroup.app":"アプリ","codex.commandGroup.configure":"構成","codex.commandGroup.navigation":"ナビゲーション","codex.commandGroup.panels":"パネル","codex.commandGroup.skills":"スキル","codex.commandGroup.thread":"スレッド","codex.commandGroup.workspace":"プロジェクト","codex.commandMenu.noResults":"一致するものが見つかりません","codex.commandMenu.searchPlaceholder":"検索コマンド","codex.commandMenu.suggestedGroup":"おすすめ","codex.commandMenu.switchWorkspace":"プロジェクトを切り替える","codex.commandMenu.title":"コマンドのメニュー","codex.common.retry":"もう一度実行する","codex.composer.searchBranches":"ブランチを検索","codex.dialog.basic.body":"これは、Radix Dialog を包む当社のラッパーを使用したシンプルなモダル ダイアログです。","codex.dialog.basic.cancel":"キャンセルする","codex.dialog.basic.confirm":"確認","codex.dialog.basic.open":"ダイアログを開く","codex.dialog.basic.title":"サンプルダイアログ","codex.dialog.long.close":"閉じる","codex.dialog.long.line":"ダイアログ内のコンテンツが長い場合のスクロール動作を示すサンプル行：{index}","codex.dialog.long.open":"長いダイアログを開く","codex.dialog.long.title":"長いコンテンツダイアログ","codex.dialog.unstyled.body":"このストーリーは、呼び出し元がダイアログ コンテンツのスタイル設定を完全に制御する方法を示しています。","codex.dialog.unstyled.open":"スタイルが未設定のダイアログを開く","codex.dialog.unstyled.title":"スタイルが未設定のコンテンツ","codex.diff.openInEditorPrompt.openButton":"エディタで開く","codex.diff.openInEditorPrompt.singleLine":"このファイルは大きすぎるため、ここに表示できません。","codex.diffView.failedToDecodeBase64Diff":"base64 の差分を解読できませんでした","codex.diffView.filesChanged":"{fileCount, plural, other {#個のファイルが変更されました}}","codex.diffView.imagePreviewAlt":"画像のプレビュー","codex.diffView.imagePreviewEmpty":"画像なし","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"差分データはありません","codex.diffView.pdfPreview.nextPage":"次のページ","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"前のページ","codex.diffView.pdfPreviewEmpty":"PDF のプレビューがありません","codex.diffView.pdfPreviewError":"PDF のプレビューを表示できません","codex.diffView.richPreviewDisable":"リッチ プレビューを無効にする","codex.diffView.richPreviewEnable":"リッチ プレビューを有効にする","codex.diffView.richPreviewLoading":"プレビューを読み込んでいます...","codex.diffView.richPreviewToggle":"リッチ プレビューを切り替える","codex.diffView.switchToUnified":"統合差分に切り替える","codex.environmentSelector.noEnvironment":"環境が選択されていません","codex.environments.environmentSettings":"環境設定","codex.environments.learnMore":"詳細はこちら","codex.environments.listError":"環境の読み込みに失敗しました。","codex.environments.noEnvironmentsFound":"環境が見つかりません","codex.environments.searchError":"環境を検索できませんでした。","codex.errorBoundary.genericError":"エラーが発生しました","codex.errorBoundary.goHome":"もう一度試す","codex.file.patch.missing":"このファイルのパッチを作成できません。","codex.gallery.automations.cwdLabel":"プロジェクト","codex.gallery.automations.nameLabel":"名前","codex.gallery.automations.namePlaceholder":"タスクを要約する","codex.gallery.automations.promptLabel":"プロンプト","codex.gallery.automations.promptPlaceholder":"Codex の処理内容を説明","codex.gallery.dialogs.automation.label":"自動化ダイアログ","codex.gallery.dialogs.basic.body":"シンプルな確認または短いフォームにこのレイアウトを使用します。","codex.gallery.dialogs.basic.cancel":"キャンセルする","codex.gallery.dialogs.basic.confirm":"確定する","codex.gallery.dialogs.basic.label":"基本ダイアログ","codex.gallery.dialogs.basic.title":"サンプル ダイアログ","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"問題について説明してください","codex.gallery.dialogs.feedbackSubmission.bad":"悪い結果","codex.gallery.dialogs.feedbackSubmission.bug":"バグ","codex.gallery.dialogs.feedbackSubmission.good":"良い結果","codex.gallery.dialogs.feedbackSubmission.includeLogs":"現在の Codex セッションログを含める","codex.gallery.dialogs.feedbackSubmission.label":"フィードバックの送信","codex.gallery.dialogs.feedbackSubmission.other":"その他","codex.gallery.dialogs.feedbackSubmission.placeholder":"問題についてこちらで説明してください","codex.gallery.dialogs.feedbackSubmission.submit":"送信する","codex.gallery.dialogs.feedbackSubmission.title":"フィードバック","codex.gallery.dialogs.feedbackSuccess.body":"フィードバックがアップロードされました。問題が解決しない場合は、GitHub issue を開くか、未解決の既存の問題でスレッド ID を指定してください：","codex.gallery.dialogs.feedbackSuccess.dismiss":"閉じる","codex.gallery.dialogs.feedbackSuccess.label":"フィードバックの成功","codex.gallery.dialogs.feedbackSuccess.title":"フィードバックがアップロードされました","codex.gallery.dialogs.gitApplyResults.applied":"適用が正常に完了（2 件）","codex.gallery.dialogs.gitApplyResults.close":"閉じる","codex.gallery.dialogs.gitApplyResults.conflicted":"競合（1 件）","codex.gallery.dialogs.gitApplyResults.label":"結果を適用する","codex.gallery.dialogs.gitApplyResults.title":"結果を適用する","codex.gallery.dialogs.gitPushError.body":"リモート履歴を安全に上書きできると判断した場合は、最新の変更をプルするかプッシュを強制します。","codex.gallery.dialogs.gitPushError.cancel":"キャンセルする","codex.gallery.dialogs.gitPushError.force":"プッシュを強制","codex.gallery.dialogs.gitPushError.label":"プッシュ エラー","codex.gallery.dialogs.gitPushError.subtitle":"ブランチが origin/main よりも古くなっています。","codex.gallery.dialogs.gitPushError.title":"変更をプッシュできませんでした","codex.gallery.dialogs.gitRevert.cancel":"キャンセルする","codex.gallery.dialogs.gitRevert.confirm":"戻す","codex.gallery.dialogs.gitRevert.label":"変更を戻す","codex.gallery.dialogs.gitRevert.skip":"今後は尋ねない","codex.gallery.dialogs.gitRevert.subtitle":"このアクションを実行すると、これらの変更がすべて削除されます。","codex.gallery.dialogs.gitRevert.title":"変更を戻しますか？","codex.gallery.dialogs.longForm.label":"長い形式のダイアログ","codex.gallery.dialogs.proseModal.body":"このモーダル スタイルは、長い指示、導入支援、リッチ コンテンツ ブロックに使用されます。","codex.gallery.dialogs.proseModal.close":"閉じる","codex.gallery.dialogs.proseModal.subtitle":"長い形式のガイダンスまたはドキュメントをここで共有します。","codex.gallery.dialogs.proseModal.title":"散文のモーダル","codex.gallery.dialogs.submitBlocked.label":"送信をブロック済み","codex.gallery.dialogs.submitBlocked.message":"プロジェクトを利用できないため、メッセージを送信できませんでした。","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"メッセージを送信できませんでした","codex.gallery.dialogs.title":"ダイアログ","codex.gallery.dropdown.filterPlaceholder":"項目をフィルタリングする","codex.gallery.dropdowns.actionRow":"アクション行","codex.gallery.dropdowns.actionRow.disabled":"無効なアクション","codex.gallery.dropdowns.actionRow.primary":"プライマリ アクション","codex.gallery.dropdowns.actionRow.secondary":"セカンダリ アクション","codex.gallery.dropdowns.actionRow.trigger":"アクションを表示する","codex.gallery.dropdowns.basic":"基本ドロップダウン","codex.gallery.dropdowns.basic.newFile":"新しいファイル","codex.gallery.dropdowns.basic.newFolder":"新しいフォルダー","codex.gallery.dropdowns.basic.openSettings":"設定を開く","codex.gallery.dropdowns.basic.title":"クイック アクション","codex.gallery.dropdowns.basic.trigger":"メニューを開く","codex.gallery.dropdowns.basic.upload":"アップロードする","codex.gallery.dropdowns.panel":"パネル表示","codex.gallery.dropdowns.panel.apply":"適用する","codex.gallery.dropdowns.panel.body":"差分をレビューして、プロジェクトに適用します。","codex.gallery.dropdowns.panel.preview":"プレビュー","codex.gallery.dropdowns.panel.title":"変更を適用する","codex.gallery.dropdowns.panel.trigger":"パネルを開く","codex.gallery.dropdowns.search":"検索可能なドロップダウン","codex.gallery.dropdowns.search.first":"アルファ版チャンネル","codex.gallery.dropdowns.search.second":"ベータ版ブランチ","codex.gallery.dropdowns.search.third":"リリース候補","codex.gallery.dropdowns.search.trigger":"項目をフィルタリングする","codex.gallery.dropdowns.submenu":"サブメニュー付きドロップダウン","codex.gallery.dropdowns.submenu.optionA":"プロジェクト アルファ版","codex.gallery.dropdowns.submenu.optionB":"プロジェクト ベータ版","codex.gallery.dropdowns.submenu.optionC":"プロジェクト ガンマ版","codex.gallery.dropdowns.submenu.primary":"所有者の割り当て","codex.gallery.dropdowns.submenu.secondary":"移動先","codex.gallery.dropdowns.submenu.tertiary":"アーカイブする","codex.gallery.dropdowns.submenu.trigger":"アクションを選択する","codex.gallery.dropdowns.title":"ドロップダウン","codex.gallery.inbox.automations.close":"閉じる","codex.gallery.inbox.automations.popover.cardTitle":"自動化を管理する","codex.gallery.inbox.automations.popover.dialogTitle":"自動化を管理する","codex.header.settingsTooltip":"設定","codex.hunk.patch.error":"ステージできませんでした","codex.hunk.patch.missing":"このハンクのパッチを作成できません。","codex.hunk.patch.partialSuccess":"部分的に成功しました","codex.hunk.patch.revertError":"ステージングを解除できませんでした","codex.hunk.patch.revertSuccess":"ステージング解除が完了しました","codex.hunk.patch.success":"ステージングが完了しましたました","codex.legal.autonomy.details":"詳細については、{link} をご覧ください","codex.legal.autonomy.details.link":"Codex ドキュメント","codex.legal.autonomy.title":"自動で行う作業範囲を指定する","codex.legal.backButton":"戻る","codex.legal.cloud.taskOne.meta":"openai/agi · Oct 12","codex.legal.cloud.taskOne.title":"リポジトリについて新しいデザイナーに説明する","codex.legal.cloud.taskThree.meta":"openai/codex · Oct 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"ダークモード テーマを作成する","codex.legal.cloud.taskTwo.meta":"openai/agi · Oct 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"導入バグを修正する","codex.legal.continue.apikey":"続行する","codex.legal.continueButton":"次へ","codex.legal.copilot.details":"すべてのモデル呼び出し、請求、レート制限に Copilot プランが使用されます。Codex 拡張機能のご利用に際しては、{oaiTos}と {gitHubTos}の両方が適用されます。","codex.legal.copilot.gitHubTosLink":"GitHub 利用規約","codex.legal.copilot.oaiTosLink":"OpenAI Codex 利用規約","codex.legal.copilot.title":"GitHub Copilot を使用","codex.legal.mistakes.review":"Codex が記述するコードと実行するコマンドをレビューしてください","codex.legal.mistakes.title":"ChatGPT が必ずしも正しいとは限りません","codex.legal.powered.details":"お使いのプランのレート制限と{link}が使用されます","codex.legal.powered.details.link":"学習データに関する設定","codex.legal.powered.title":"ChatGPT アカウントを使用","codex.legal.step.cloud.subtitle":"タスクを Codex に送信してバックグラウンドで実行することで、作業に集中して、効率よく進めることができます。","codex.legal.step.cloud.title":"クラウド上で Codex に任せる","codex.legal.step.intro.subtitle":"Codex はリポジトリ内でナビゲート、編集、コマンドおよびテストの実行を行います。ユーザーの ChatGPT アカウントを使用します。","codex.legal.step.intro.title":"Codex を IDE で使用する","codex.legal.step.todo.subtitle":"TODO コメントを記述して、ワンクリックで Codex タスクに変換できます。","codex.legal.step.todo.title":"TODO を Codex タスクに変換する","codex.legal.todo.heading":"// TODO：スキーマを実装してください","codex.localConversation.closeImagePreview":"画像のプレビューを閉じる","codex.localConversation.userImageAttachment":"ユーザーの添付画像","codex.localTaskRow.archiveTask":"スレッドをアーカイブする","codex.localTaskRow.awaitingApproval":"承認が必要","codex.localTaskRow.awaitingResponse":"回答を待機中","codex.localTaskRow.confirmArchiveTask":"確認","codex.loggedOut.apiKeyPrompt.cancel":"キャンセルする","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"API キーを取得する","codex.loggedOut.apiKeyPrompt.inputLabel":"OpenAI API キーを入力する","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API キーを使用している場合、クラウドタスクは無効です","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot と API キーを使用している場合、クラウドタスクは無効です","codex.loggedOut.signIn":"ChatGPT を使用してサインイン","codex.loggedOut.signIn.cancel":"サインインをキャンセルする","codex.loggedOut.signInWithCopilot":"GitHub Copilot を使用してサインイン","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API キーを使用する","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ツール","codex.mcpTool.collapsedLabel.verb.called":"呼び出し完了","codex.mcpTool.collapsedLabel.verb.calling":"呼び出し中","codex.mcpTool.embeddedResource.contentLabel":"コンテンツ","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME タイプ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ツールによって返されたコンテンツはありません","codex.mcpTool.rawPayloadHeading":"{server}.{tool} ツール呼び出しの未加工ペイロード","codex.menu.recent":"最近","codex.menu.seeAllHistory":"すべての履歴を表示する","codex.modelCapacityBanner.headline.noReset":"{modelName} は現在、処理能力の上限に達しています。後でもう一度お試しいただくか、別のモデルで新しい会話を開始してください。","codex.modelCapacityBanner.headline.withReset":"{modelName} は現在、処理能力の上限に達しています。{resetDate}以降にもう一度お試しいただくか、別のモデルで新しい会話を開始してください。","codex.modelCapacityBanner.title":"選択したモデルは処理能力の上限に達しています。","codex.patch.change.contentsDeleted":"コンテンツを削除しました","codex.patch.change.created":"作成済み","codex.patch.change.created-file":"作成済みファイル","codex.patch.change.creating":"作成しています","codex.patch.change.deleted":"削除済み","codex.patch.change.deleted-file":"削除済みファイル","codex.patch.change.deleting":"削除中","codex.patch.change.edited":"編集済み","codex.patch.change.edited-file":"編集済みファイル","codex.patch.change.editing":"編集中","codex.patch.change.noChanges":"変更なし","codex.patch.change.rejected-add":"拒否","codex.patch.change.rejected-delete":"拒否","codex.patch.change.rejected-edit":"拒否","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"完了したタスク：{completed}/{total}","codex.plan.todoListCreated":"合計{total}件のタスクを含むやることリストが作成されました","codex.profileDropdown.apiKeyAuth":"API キーを使用してログイン済み","codex.profileDropdown.codexSettings":"Codex の設定","codex.profileDropdown.copilotAuth":"Copilot を使用してログイン済み","codex.profileDropdown.defaultAccountTitle":"デフォルトのアカウント","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter で長いプロンプトを送信","codex.profileDropdown.enterBehaviorError":"設定を更新できませんでした","codex.profileDropdown.getPlus":"アップグレードして制限を引き上げる","codex.profileDropdown.keyboardShortcuts":"キーボードショートカット","codex.profileDropdown.language":"言語","codex.profileDropdown.languageDefault":"自動検出","codex.profileDropdown.languageSearchPlaceholder":"言語を検索","codex.profileDropdown.languageUpdateError":"言語を更新できませんでした","codex.profileDropdown.logOut":"ログアウト","codex.profileDropdown.mcp":"MCP 設定","codex.profileDropdown.openConfigToml":"config.toml を開く","codex.profileDropdown.openConfigToml.wsl":"WSL 環境で config.toml を開く","codex.profileDropdown.openExtensionSettings":"設定を開く","codex.profileDropdown.openMcpSettings":"MCP 設定を開く","codex.profileDropdown.openOnStartup":"起動時に開く","codex.profileDropdown.openOnStartupError":"設定を更新できませんでした","codex.profileDropdown.openSkillsSettings":"Skills の設定を開く","codex.profileDropdown.personalAccountTitle":"個人アカウント","codex.profileDropdown.queueFollowUps":"フォローアップをキューに登録する","codex.profileDropdown.queueFollowUpsError":"設定を更新できませんでした","codex.profileDropdown.readDocs":"ドキュメントを読む","codex.profileDropdown.readSkillsDocs":"ドキュメントを読む","codex.profileDropdown.runInWsl":"WSL で実行する","codex.profileDropdown.runInWslError":"設定を更新できませんでした","codex.profileDropdown.runInWslTooltip":"WSL 内で Codex を実行します。サンドボックスのセキュリティとパフォーマンス向上のために推奨されます。","codex.profileDropdown.settings":"IDE 設定","codex.profileDropdown.settingsPage":"設定","codex.profileDropdown.signInWithOpenAI":"ChatGPT を使用してサインイン","codex.profileDropdown.skills":"Skills の設定","codex.profileDropdown.switchToCopilotAccount":"Copilot アカウントを使用する","codex.profileDropdown.switchToOpenAIAccount":"OpenAI アカウントを使用する","codex.profileDropdown.todoCodelens":"やることリストを修正する","codex.profileDropdown.todoCodelensError":"設定を更新できませんでした","codex.profileDropdown.windowsDocumentation":"Windows ドキュメント","codex.profileFooter.signedInFallback":"設定","codex.profileFooter.upgrade":"アップグレードする","codex.recentTasksMenu.clearSearch":"検索をクリア","codex.recentTasksMenu.cloud":"クラウドタスク","codex.recentTasksMenu.count":"{count, plural, =0 {進行中のタスクはありません} other {#件のタスクが進行中}}","codex.recentTasksMenu.empty":"スレッドはまだありません","codex.recentTasksMenu.errorCloud":"タスクを読み込めませんでした。","codex.recentTasksMenu.errorCloud.inline":"クラウドタスクを読み込めませんでした。","codex.recentTasksMenu.filterAll":"すべて","codex.recentTasksMenu.filterCloudTasks":"クラウドタスクをフィルタリングする","codex.recentTasksMenu.filterTooltip":"環境別にタスクをフィルタリングする","codex.recentTasksMenu.local":"ローカル環境のタスク","codex.recentTasksMenu.recent":"すべてのタスク","codex.recentTasksMenu.search":"最近のタスクを検索する","codex.recentTasksMenu.searchEmpty":"結果がありません","codex.recentTasksMenu.tooltip":"タスクの履歴","codex.recentTasksMenu.trigger":"最近のタスク。{count, plural, other {#件が進行中}}","codex.remoteConversation.applyDiff.applyCta":"変更を適用する","codex.remoteConversation.applyDiff.dropdownTitle":"変更をローカルブランチに適用","codex.remoteConversation.applyDiff.revertCta":"変更を戻す","codex.remoteConversation.closeImagePreview":"画像のプレビューを閉じる","codex.remoteConversation.codexCloudTask":"<u>Codex Cloud</u> のタスクを表示しています","codex.remoteConversation.errorWithMessage":"エラー：{message}","codex.remoteConversation.loadingImage":"画像を読み込み中","codex.remoteConversation.openInWeb":"ウェブで開く","codex.remoteConversation.streaming":"開始しています","codex.remoteConversation.turnFailed":"このタスクの実行中にエラーが発生しました","codex.remoteConversation.turnTab.loading":"{number}回目の試行","codex.remoteConversation.turnTab.title":"{number} を試す","codex.remoteConversation.userImageAttachment":"ユーザーの添付画像","codex.remoteConversation.viewPreviousTurns":"ウェブで開きます","codex.remoteConversation.viewPreviousTurns.buttonText":"開く","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ウェブで開く","codex.review.copyGitApplyCommand":"git apply コマンドをコピーする","codex.review.copyGitApplyCommand.toast":"git apply コマンドをクリップボードにコピーしました","codex.review.diffTooLarge.description":"この差分は大きすぎてレビューに表示できません。","codex.review.diffTooLarge.title":"差分が大きすぎて表示できません","codex.review.expandOrCollapseDiffButton.collapse":"すべての差分を折りたたむ","codex.review.expandOrCollapseDiffButton.expand":"すべての差分を展開する","codex.review.expandOrCollapseDiffMenu.collapse":"すべての差分を折りたたむ","codex.review.expandOrCollapseDiffMenu.expand":"すべての差分を展開する","codex.review.fileSearch.clear":"ファイル フィルターをクリア","codex.review.fileSearch.empty":"現在のフィルターに一致するファイルはありません。","codex.review.fileSearch.label":"ファイルをフィルタリングする","codex.review.fileSearch.placeholder":"ファイルをフィルタリングする...","codex.review.filesChanged":"{num, plural, =0 {0個のファイルが変更されました} other {#個のファイルが変更されました}}","codex.review.find.loadMore":"一致するものをさらに読み込む","codex.review.fullReview.hideFileTree":"ファイルのツリーを非表示","codex.review.fullReview.showFileTree":"ファイルのツリーを表示","codex.review.header.moreOptions":"レビュー オプション","codex.review.largeDiff.banner":"大きな差分が検出されました - 一度に1つファイルを表示します。","codex.review.loadFullFiles.disable":"ファイル全体を読み込まない","codex.review.loadFullFiles.enable":"ファイル全体を読み込む","codex.review.noDiff":"ファイルの変更がここに表示されます","codex.review.noDiff.gitInit.createRepository":"Git リポジトリを作成する","codex.review.noDiff.gitInit.creating":"作成しています...","codex.review.noDiff.gitInit.error":"Git init が失敗しました：{message}","codex.review.noDiff.gitInit.success":"Git リポジトリが作成されました","codex.review.noDiff.gitRepoRequired.description":"このプロジェクト内の変更を追跡し、変更を元に戻してください","codex.review.noDiff.gitRepoRequired.title":"Git リポジトリを作成する","codex.review.noDiff.orNoLongerAvailable":"または、最後の差分はもう利用できません","codex.review.noDiff.reverted":"最後のやり取りは取り消されました","codex.review.noDiff.revertedOrCommitted":"最後のやり取りは取り消されたか、コミットされました","codex.review.refreshGitQueries":"更新する","codex.review.revert.file.error":"{path} を元に戻せませんでした","codex.review.revert.file.partialSuccess":"{path} の一部が元に戻されました","codex.review.revert.file.success":"{path} が元に戻されました","codex.review.revert.hunk.error":"{path} のハンク{hunkNumber}件を元に戻せませんでした","codex.review.revert.hunk.partialSuccess":"{path} のハンク{hunkNumber}件が部分的に元に戻されました。","codex.review.revert.hunk.success":"{path} のハンク{hunkNumber}件が元に戻されました","codex.review.revert.section.error":"セクションを元に戻せませんでした","codex.review.revert.section.partialSuccess":"セクションの一部が元に戻されました","codex.review.revert.section.success":"セクションが元に戻されました","codex.review.revertDialog.cancel":"キャンセル","codex.review.revertDialog.confirm":"確認","codex.review.revertDialog.message":"このアクションを実行すると、これらの変更がすべて削除されます。","codex.review.revertDialog.skip":"今後は尋ねない","codex.review.revertDialog.title":"変更を戻しますか？","codex.review.richPreview.disable":"リッチ プレビューを無効にする","codex.review.richPreview.enable":"リッチ プレビューを有効にする","codex.review.source.cloud":"クラウドの変更","codex.review.source.local.all":"すべてのブランチの変更","codex.review.source.local.lastTurn":"最後のターンの変更","codex.review.source.local.uncommitted":"未コミットの変更","codex.review.source.worktree":"未コミットの Worktree の変更","codex.review.stageFilter.empty.staged.description":"編集内容を受け入れてステージングする","codex.review.stageFilter.empty.staged.title":"ステージングされた変更はありません","codex.review.stageFilter.empty.unstaged.description":"コードの変更はここに表示されます","codex.review.stageFilter.empty.unstaged.title":"ステージングされていない変更はありません","codex.review.stageFilter.staged":"未ステージ","codex.review.stageFilter.staged.count":"ステージ済み · {count}件","codex.review.stageFilter.unstaged":"ステージ済み","codex.review.stageFilter.unstaged.count":"未ステージ · {count}件","codex.review.switchToSplit":"差分の分割に切り替える","codex.review.switchToUnified":"統合差分に切り替える","codex.review.toggleDiffView":"差分表示を切り替える","codex.review.wordDiffs.disable":"単語の差分を無効にする","codex.review.wordDiffs.enable":"単語の差分を有効にする","codex.review.wrap.disable":"行の折り返しを無効にする","codex.review.wrap.enable":"行の折り返しを有効にする","codex.section.patch.missing":"この選択のパッチを作成できません。","codex.shell.collapse":"シェルを折りたたむ","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"シェルコマンドをコピーしました","codex.shell.copy.copyTooltip":"シェルコンテンツをコピーする","codex.shell.copyCommand":"コマンドをコピーする","codex.shell.copyOutput":"出力をコピーする","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"シェルを広げる","codex.shell.name":"シェル","codex.shell.noOutput":"出力なし","codex.signInFailed.message":"サインインできませんでした：{rawMessage}","codex.stories.toast.show":"トーストを表示する","codex.stories.tooltip.basic":"これはヒントです","codex.stories.tooltip.hoverMe":"ここにカーソルを合わせてください","codex.stories.tooltip.largerOffset":"このヒントは表示位置のずれが大きいです","codex.stories.tooltip.offsetButton":"表示位置の大きいずれ","codex.stories.tooltip.shortcutButton":"ショートカットを使用","codex.stories.tooltip.withShortcut":"ターミナルを切り替える","codex.taskRow.title":"新しいスレッド","codex.taskRowLayout.confirm":"確認","codex.threadFindBar.chatFilter":"チャットを検索する","codex.threadFindBar.close":"検索を閉じる","codex.threadFindBar.diffFilter":"差分を検索する","codex.threadFindBar.label":"スレッド内を検索する","codex.threadFindBar.nextResult":"次の結果","codex.threadFindBar.noResults":"結果なし","codex.threadFindBar.placeholder":"スレッドを検索…","codex.threadFindBar.placeholder.extension":"スレッドを検索…","codex.threadFindBar.placeholder.review":"差分を検索する...","codex.threadFindBar.placeholder.review.extension":"差分を検索する...","codex.threadFindBar.previousResult":"前の結果","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# 個のファイルが変更されました}}","codex.unifiedDiff.inlineLargeFile":"サイズが大きいため、インライン表示できません","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"元に戻す","codex.unifiedDiff.revertPatchError":"変更を元に戻せませんでした","codex.unifiedDiff.revertPatchSuccess":"変更が元に戻されました","codex.unifiedDiff.reviewChangesSuffix":"変更","codex.unifiedDiff.reviewShort":"レビューする","codex.unifiedDiff.viewDiffTooltip":"レビューする","codex.upsellBanner.business.headline":"今すぐアクセス回数を増やすには、管理者にリクエストを送信するか、{resetDate}までお待ちください","codex.upsellBanner.cbp.headline":"今すぐアクセス回数を増やすには、管理者にリクエストを送信してください。","codex.upsellBanner.cta.addCredits":"クレジットを追加する","codex.upsellBanner.cta.upgradeAccount":"アップグレードする","codex.upsellBanner.cta.viewUsage":"使用状況を確認する","codex.upsellBanner.free.trialHeadline":"レート制限は {resetDate}にリセットされます。引き続き Codex を使用するには、GPT-5.3-Codex にアクセスするか、今すぐ ChatGPT Plus の無料トライアルを開始してください。","codex.upsellBanner.freeOrGo.headline":"レート制限は {resetDate}にリセットされます。引き続き Codex を使用するには、今すぐ Plus にアップグレードしてください。","codex.upsellBanner.general.headline":"レート制限は {resetDate}にリセットされます。","codex.upsellBanner.general.title":"Codex メッセージの使用上限に達しました","codex.upsellBanner.go.trialHeadline":"レート制限は {resetDate}にリセットされます。引き続き Codex を使用するには、今すぐ Plus の無料トライアルを開始してください。","codex.upsellBanner.plus.headline":"レート制限は {resetDate}にリセットされます。引き続き Codex を使用するには、クレジットを追加するか、今すぐ Plus にアップグレードしてください。","codex.upsellBanner.pro.headline":"レート制限は {resetDate}にリセットされます。引き続き Codex を使用するには、クレジットを追加してください。","codex.userMessage.autoResolveSync":"競合を自動解決する","codex.userMessage.commentCount":"{count, plural, other {#件のコメント}}","codex.userMessage.copiedAriaLabel":"コピーしました","codex.userMessage.copiedTooltip":"コピーしました","codex.userMessage.copyAriaLabel":"メッセージをコピーする","codex.userMessage.copyTooltip":"コピーする","codex.userMessage.implementPlan":"プランを実施する","codex.userMessage.noContent":"（コンテンツなし）","codex.userMessage.priorConversation":"以前の会話を参照","codex.userMessage.reviewMode":"レビューモード","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} 用","codex.webSearch.summary.verb.completed":"ウェブを検索しました","codex.webSearch.summary.verb.inProgress":"ウェブを検索しています","codex.windowsInstallWslBanner.dismiss":"閉じる","codex.windowsInstallWslBanner.installWslCta":"サンドボックスを有効にする","codex.windowsInstallWslBanner.learnMore":"詳細はこちら","codex.windowsSandboxBanner.content":"エージェントモードでは、Windows の実験的なサンドボックスを使用してファイルシステムおよびネットワークへのアクセスを制限します。{sandboxLink}","codex.windowsSandboxBanner.title":"エージェントモードでサンドボックスを有効にする","codex.windowsSubDropdown.windowsSandbox":"Windows サンドボックス","codex.windowsSubDropdown.windowsSettings":"Windows 設定","codexUpgradeModal.body":"最新のエージェント型コーディング モデルであり、一般的な技術的作業において、より賢く、より速く、より高い能力を発揮します。{link}","codexUpgradeModal.close":"閉じる","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"詳細はこちら","codexUpgradeModal.title":"GPT-5.3-Codex のご紹介","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex を今すぐ試す","codexUpgradeModal.useExistingModel":"現在のモデルで続行","commentAttachments.numComments":"{count, plural, other {#件のコメント}}","commentAttachments.removeAriaLabel":"コメントの添付を削除する","common.close":"閉じる","composer.addContext.openFilePickerError":"ファイル ピッカーを開けません","composer.addContextDropdown.ariaLabel":"ファイルの追加など","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ファイルの追加など","composer.addPhotosAndFiles":"写真とファイルを追加","composer.atMentionList.emptyQuery":"ファイルを検索するには入力してください","composer.atMentionList.loading":"検索しています...","composer.atMentionList.noResults":"結果がありません","composer.attemptsSelector.option":"{count, plural, other {#個のバージョン}}","composer.attemptsSelector.tooltip":"Codex が同時に行う試行の回数","composer.attemptsSelector.trigger":"{count}倍","composer.backgroundTerminals.stop":"停止","composer.cloudFollowUp.cloud":"クラウド","composer.cloudFollowUp.local":"ローカル環境","composer.cloudFollowUp.whereRun":"後続処理をどこで実行しますか？","composer.cloudTaskCreationError":"クラウドタスクの作成中にエラーが発生しました","composer.cloudTaskError":"タスクの作成中にエラーが発生しました","composer.contextWindow.autoCompactionTooltipLine1":"Codex によってコンテキストが自動的に圧縮されます","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"コンテキスト画面：","composer.contextWindowUsageStatusFull":"使用率 {usage}%","composer.contextWindowUsageStatusLeft":"{usage}%を使用済み（残り{remaining}%）","composer.contextWindowUsageTooltip":"使用済み token：{usedTokens}k / {contextWindow}k","composer.customCliTooltip":"カスタム CLI 実行ファイルを使用中","composer.dictation.aria":"音声入力","composer.dictation.cancel.aria":"音声入力を停止","composer.dictation.cancel.tooltip":"音声入力を停止","composer.dictation.startError":"音声入力を開始できません","composer.dictation.submit.aria":"文字起こしして送信する","composer.dictation.submit.tooltip":"文字起こしして送信する","composer.dictation.tooltip":"長押しして音声入力","composer.dictation.transcribeError":"音声を文字起こしできません","composer.dictation.unsupported":"このデバイスでは音声入力を利用できません","composer.dropOverlay.holdShift":"{key}を長押しすると、ドロップできます","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"新しく作成","composer.environmentSelector.error":"環境の読み込み中にエラーが発生しました","composer.environmentSelector.goBack":"コンポーザーに戻る","composer.environmentSelector.title":"環境を選択","composer.environmentSelector.tooltip":"クラウド環境を選択","composer.feedbackSlashCommand.title":"フィードバック","composer.filePicker.selectFile":"ファイルを1つ選択する","composer.filePicker.selectFiles":"ファイルを複数選択する","composer.followerTooltip":"続行するには、この会話を開始したウィンドウに戻ってください。","composer.footer.branchSwitch.checkoutError":"ブランチを切り替えることができませんでした：{message}","composer.footer.branchSwitch.createAndCheckout":"新しいブランチを作成してチェックアウト...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"変更をコミットし、新しいブランチを作成してチェックアウトします","composer.footer.branchSwitch.createBranchError":"ブランチを作成できませんでした：{message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ブランチ名","composer.footer.branchSwitch.createDialog.branchExistsError":"ブランチはすでに存在します。","composer.footer.branchSwitch.createDialog.close":"閉じる","composer.footer.branchSwitch.createDialog.createAndCheckout":"作成してチェックアウトする","composer.footer.branchSwitch.createDialog.placeholder":"新しいブランチ","composer.footer.branchSwitch.createDialog.title":"ブランチを作成してチェックアウトする","composer.footer.branchSwitch.createDialog.trailingSlashError":"ブランチ名は「/」で終わることはできません","composer.footer.branchSwitch.tooltip":"ブランチを切り替える","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} をチェックアウトするには{fileCount, plural, other {# 個のファイル}}に変更をコミットしてください。","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"変更を","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, other {# 個のファイル}}にコミットして {branchName} をチェックアウトします。","composer.footer.branchSwitch.uncommittedDialog.cancel":"キャンセルする","composer.footer.branchSwitch.uncommittedDialog.commit":"コミットしてブランチを切り替える...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"以下のファイルに対する変更はチェックアウトにより上書きされます。","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"続行するには変更をコミットしてください","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"選択したブランチ","composer.footer.branchSwitch.uncommittedDialog.title":"ブランチを切り替えるには変更をコミットしてください","composer.footer.branchSwitch.uncommittedSummaryPrefix":"未コミット：{fileCount, plural, other {# 個のファイル}}","composer.forkSlashCommand.description":"このスレッドをローカルまたは新しい Worktree にフォークします","composer.forkSlashCommand.option.local.description":"新しいローカルのスレッドで続行します","composer.forkSlashCommand.option.local.title":"ローカルにフォークする","composer.forkSlashCommand.option.worktree.description":"新しい Worktree で続行します","composer.forkSlashCommand.option.worktree.title":"新しい Worktree にフォークする","composer.forkSlashCommand.title":"フォーク","composer.ideContextIndicator":"IDE コンテキスト","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE のコンテキストを含める","composer.ideContextIndicator.tooltipToggle":"切り替え方法","composer.ideContextSlashCommand.disableDescription":"IDE コンテキストをオフにする","composer.ideContextSlashCommand.enableDescription":"IDE の現在の選択内容、開いているファイル、その他のコンテキストを含めます","composer.ideContextSlashCommand.title":"IDE コンテキスト","composer.imageInputsUnsupported":"このモデルは画像入力に対応していません。別のモデルをお試しください。","composer.imageUploadFailed":"画像をアップロードできませんでした","composer.includeIdeContextDropdown":"IDE コンテキストを含める","composer.includeIdeContextDropdown.ariaLabel":"IDE コンテキストを含める","composer.localCwdDropdown.addWorkspaceRoot":"新しいプロジェクトを追加","composer.localCwdDropdown.noActiveRoot":"新しいプロジェクトを選択","composer.localCwdDropdown.noResults":"フォルダーが見つかりません","composer.localCwdDropdown.title":"新しいプロジェクトを選択","composer.localTaskError":"会話を開始する際にエラーが発生しました","composer.mcpSlashCommand.description":"MCP サーバーのステータスを表示します","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"未認証","composer.mcpStatus.authOauth":"認証済み（OAuth）","composer.mcpStatus.authToken":"認証済み（API キー）","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"閉じる","composer.mcpStatus.disabled":"無効","composer.mcpStatus.emptyLabel":"サーバー：","composer.mcpStatus.emptyValue":"MCP サーバーが設定されていません","composer.mcpStatus.enabled":"有効","composer.mcpStatus.errorLabel":"ステータス","composer.mcpStatus.errorValue":"MCP ステータスを読み込めません","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"エージェント","composer.mode.agentMode.auto.dropdownLabel":"エージェント","composer.mode.agentMode.auto.optionLabel":"エージェント","composer.mode.agentMode.changePermission":"モードを切り替える","composer.mode.agentMode.custom":"カスタム","composer.mode.agentMode.custom.dropdownLabel":"カスタム","composer.mode.agentMode.custom.option":"カスタム（config.toml）","composer.mode.agentMode.custom.optionLabel":"カスタム（config.toml）","composer.mode.agentMode.customInfo.cancel":"キャンセルする","composer.mode.agentMode.customInfo.cli":"これらの設定は CLI から調整することも、またはファイルを直接編集して調整することも可能です。","composer.mode.agentMode.customInfo.confirm":"カスタムモードを使用する","composer.mode.agentMode.customInfo.description":"カスタムモードには、<link>config.toml ファイルで定義されている承認とサンドボックス ポリシーが</link>適用されます。","composer.mode.agentMode.customInfo.docs":"承認の設定とサンドボックスポリシーの詳細については、<link>実行環境に関するドキュメントをご覧ください</link>。","composer.mode.agentMode.customInfo.refresh":"変更内容は、次回エージェントが実行された際に反映されます。","composer.mode.agentMode.customInfo.title":"カスタムモードの仕組み","composer.mode.agentMode.fullAccess":"エージェント（フルアクセス）","composer.mode.agentMode.fullAccess.dropdownLabel":"エージェント（フルアクセス）","composer.mode.agentMode.fullAccess.optionLabel":"エージェント（フルアクセス）","composer.mode.agentMode.fullAccessConfirm.caution":"フルアクセスを有効にする際には注意が必要です。データの損失や漏洩、予期しない動作が発生するリスクが大幅に増加します。","composer.mode.agentMode.fullAccessConfirm.confirm":"はい、それでも続行する","composer.mode.agentMode.fullAccessConfirm.description":"Codex をフルアクセスで実行すると、ユーザーの承認なしで、コンピューター上のあらゆるファイルを編集し、ネットワークを使用してコマンドを実行できます。","composer.mode.agentMode.fullAccessConfirm.goBack":"キャンセルする","composer.mode.agentMode.fullAccessConfirm.title":"フルアクセスを有効にしますか？","composer.mode.agentMode.readOnly":"チャット","composer.mode.agentMode.readOnly.dropdownLabel":"チャット","composer.mode.agentMode.readOnly.optionLabel":"チャット","composer.mode.agentMode.tooltip":"モードを切り替える","composer.mode.agentMode.tooltip.auto":"ファイルの読み取りと編集を行い、コマンドを実行します。","composer.mode.agentMode.tooltip.custom":"config.toml で定義された最新の承認とサンドボックスポリシーを使用します。","composer.mode.agentMode.tooltip.fullAccess":"Codex はこのプロジェクト外でファイルを編集したり、ネットワークへのアクセスが必要なコマンドを実行したりできます。使用時には注意が必要です。","composer.mode.agentMode.tooltip.readOnly":"ファイルの編集とコマンドの実行には承認が必要です。","composer.mode.cloud.tooltip":"クラウド環境で作業","composer.mode.contactAdmin":"アクセス回数を増やすには、管理者にお問い合わせください。","composer.mode.local":"ローカル環境","composer.mode.local.learnMore":"詳細はこちら","composer.mode.local.model.custom":"カスタム","composer.mode.local.model.loadingModel":"モデルを読み込む","composer.mode.local.model.selecrReasoningEffort":"推論を選択する","composer.mode.local.model.selectModel":"モデルを選択する","composer.mode.local.model.tooltip":"モデルを選択","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"高","composer.mode.local.reasoning.low.label":"低","composer.mode.local.reasoning.medium.label":"中","composer.mode.local.reasoning.minimal.label":"最小","composer.mode.local.reasoning.none.label":"なし","composer.mode.local.reasoning.xhigh.label":"非常に高い","composer.mode.localRemoteWhereRun":"タスクの実行場所を選択","composer.mode.newTask.header":"続行","composer.mode.rateLimit.day":"{days}日","composer.mode.rateLimit.heading":"残りのレート制限","composer.mode.rateLimit.hour":"{hours}時間","composer.mode.rateLimit.minute":"{minutes}分","composer.mode.rateLimit.modelSectionLabel":"{modelName} の制限：","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {週あたりの上限：{weeks}}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {週あたり：{weeks}}}","composer.mode.remote.connectToCloud":"Codex ウェブを接続する","composer.mode.remote.connectToCloudDisabledTooltip":"Codex を使用して環境を設定すると、クラウドにタスクを送信できます。","composer.mode.remote.selectEnvironment":"環境を選択","composer.mode.remote.sendToCloud":"クラウドに送信する","composer.mode.remote.setupViaWeb":"Codex ウェブで環境を設定する","composer.mode.runInCloud":"クラウド","composer.mode.runInCloudWithEnvironment":"クラウド · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"クラウド環境で作業","composer.mode.segmentedToggle.local.tooltip":"ローカル プロジェクトで作業","composer.mode.segmentedToggle.worktree.tooltip":"並列 Worktree で作業","composer.mode.upgradeToPlus":"Plus にアップグレードする","composer.mode.upgradeToPro":"Pro にアップグレードする","composer.mode.workLocally":"ローカル プロジェクト","composer.mode.workLocally.currentBranchFallback":"ブランチ","composer.mode.workLocally.tooltip":"{branchName} で実行","composer.mode.worktree":"新しい Worktree","composer.mode.worktree.submoduleWarning":"このリポジトリには git サブモジュールがあります。Worktree の作成が失敗する可能性があります","composer.mode.worktree.tooltip":"並行して作業するためのローカル プロジェクトのコピーを作成","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"会話の途中でモデルを変更すると、パフォーマンスが低下します。","composer.newChat.heading.browser":"次は何をコーディングしましょうか？","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex は、config.toml で定義された権限を使用します。","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex は、このコンピューターへのフルアクセス権を持っています（リスクが上昇）","composer.permissionsDropdown.custom.label":"カスタム（config.toml）","composer.permissionsDropdown.custom.optionLabel":"カスタム（config.toml）","composer.permissionsDropdown.default.label":"デフォルト権限","composer.permissionsDropdown.default.optionLabel":"デフォルト権限","composer.permissionsDropdown.default.tooltip":"Codex は自動的にサンドボックス内でコマンドを実行します","composer.permissionsDropdown.disabled.requirements":"権限は requirements.toml によってロックされています。","composer.permissionsDropdown.fullAccess.disabled":"完全アクセスは要件によって無効になっています。","composer.permissionsDropdown.fullAccess.label":"フルアクセス","composer.permissionsDropdown.fullAccess.optionLabel":"フルアクセス","composer.permissionsDropdown.trigger.tooltip":"権限を変更する","composer.personalitySlashCommand.description.friendly":"温かく、協力的で親切","composer.personalitySlashCommand.description.pragmatic":"簡潔、タスク重視、率直","composer.personalitySlashCommand.label.friendly":"フレンドリー","composer.personalitySlashCommand.label.pragmatic":"実用的","composer.personalitySlashCommand.notApplicableSuffix":"（現在のモデルには適用されません）","composer.personalitySlashCommand.title":"性格","composer.placeholder.cloudFollowUp.directFollowUp":"このクラウドタスクへのフォローアップ","composer.placeholder.cloudFollowUp.local":"このクラウドタスクを参照する新しいローカルタスクを作成","composer.placeholder.cloudFollowUp.workingTree":"現在のコードを含み、このタスクを参照する新しいクラウドタスクを作成","composer.placeholder.localFollowUp.cloud":"新しいクラウドタスクでフォローアップ","composer.placeholder.localFollowUp.locally":"フォローアップの変更を求める","composer.placeholder.newTask.cloud":"クラウドでCodex に何でも依頼してください","composer.placeholder.newTask.doAnything":"Codex に何でも依頼してください","composer.placeholder.newTask.locally":"Codex に質問してみましょう。ファイルを追加するには @、コマンドには / を使用します","composer.planModeDropdown":"プランモード","composer.planModeDropdown.ariaLabel":"プランモード","composer.planModeIndicator":"プラン","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex でプランを作成する","composer.planModeIndicator.tooltipToggle":"切り替え方法","composer.planSlashCommand.disableDescription":"プランモードをオフにする","composer.planSlashCommand.enableDescription":"プランモードをオンにする","composer.planSlashCommand.title":"プランモード","composer.priorContext.label":"以前のコンテキスト","composer.priorContext.removeAriaLabel":"以前のコンテキストを削除する","composer.queuedMessage.delete":"キューに登録されたメッセージを削除する","composer.queuedMessage.edit":"メッセージを編集する","composer.queuedMessage.more":"キューに登録されたメッセージ アクション","composer.queuedMessage.sendNow":"ステア","composer.queuedMessage.sendNowTooltip":"作業を中断することなく、今すぐ送信する","composer.queuedMessage.turnOff":"キューをオフにする","composer.reasoningEffort.local.reasoning.tooltip":"推論の労力を選択する","composer.remote.branchStartingPoint":"このタスクはどのブランチから開始しますか？","composer.remote.branchesSectionHeading":"ブランチ","composer.remote.currentEditsSuffix.followUp":"このクラウドタスクを参照する新しいタスクを作成します。","composer.remote.currentEditsSuffix.useLocal":"（ローカル環境でのコード変更を含む）","composer.remote.directFollowUp":"ローカル環境での変更を使用しない","composer.remote.errorLoadingBranches":"ブランチの読み込み中にエラーが発生しました","composer.remote.fromBranch":"{branch} から","composer.remote.fromCurrentBranch":"{branch} (現在) から","composer.remote.loadingMoreBranches":"読み込んでいます...","composer.remote.localFileStateHeading":"ローカル ファイルの状態","composer.remote.localWorkingTree":"ローカル環境での変更を使用する","composer.remote.startingPoint":"このタスクはどのコードから開始しますか？","composer.reviewMode.branches.error":"ブランチを読み込めません","composer.reviewMode.branches.retry":"もう一度実行する","composer.reviewMode.gitRoot.error":"Git のルートが見つかりません","composer.reviewMode.option.baseBranch.simple":"ベースブランチを基準にレビュー","composer.reviewMode.option.unstaged.simple":"未コミットの変更をレビュー","composer.reviewMode.quickReviewError":"コードレビューを開始できませんでした。","composer.reviewMode.title":"コードレビュー","composer.sandboxButton.unlock.disabled.tooltip":"完全アクセスは要件によって無効になっています。","composer.sandboxButton.windowsSandboxDialog.content":"Codex では、Windows の実験的なサンドボックスを使用してファイルシステムおよびネットワークへのアクセスを制限します。{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows サンドボックスを有効にしますか？","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"読み取り専用を使用する","composer.searchEnvironments":"環境を検索する","composer.skillMentionList.app":"アプリ","composer.skillMentionList.loading":"スキルを読み込んでいます…","composer.skillMentionList.noResults":"スキルが見つかりません","composer.slashCommands.cloudEnvironment.title":"クラウド環境","composer.slashCommands.dialogLabel":"スラッシュコマンドのメニュー","composer.slashCommands.dialogTitle":"スラッシュコマンド","composer.slashCommands.disabledTooltip":"スラッシュコマンドを使用するには、新しい会話を開始してください","composer.slashCommands.inputPlaceholder":"検索する","composer.slashCommands.noResults":"コマンドがありません","composer.slashCommands.skillsGroup":"スキル","composer.slashCommands.tooltip":"スラッシュコマンドを参照する","composer.status.close":"閉じる","composer.statusPlain.alertLabel":"アラート：","composer.statusPlain.alertValue":"{window}の残り：{remaining}%","composer.statusPlain.contextLabel":"コンテキスト：","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({total}中 {used}を使用)","composer.statusPlain.contextValueRemaining":"残り{remaining}%","composer.statusPlain.heading":"ステータス","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} の制限：","composer.statusPlain.rateLimitDays":"1日あたりの制限：{count}","composer.statusPlain.rateLimitFallbackLabel":"レート制限：","composer.statusPlain.rateLimitHours":"1時間あたりの制限：{count}","composer.statusPlain.rateLimitLabelBase":"レート制限","composer.statusPlain.rateLimitMinutes":"1分あたりの制限：{count}","composer.statusPlain.rateLimitPercent":"残り{remaining}%","composer.statusPlain.rateLimitReset":"リセット：{time}","composer.statusPlain.rateLimitResetMetadata":"（{phrase}）","composer.statusPlain.rateLimitResetUnknown":"リセット時間が不明です","composer.statusPlain.rateLimitUnavailable":"取得できません","composer.statusPlain.sessionCopiedAriaLabel":"コピーされたセッション ID","composer.statusPlain.sessionCopiedTooltip":"ID をコピーしました","composer.statusPlain.sessionCopyAriaLabel":"セッション ID をコピー","composer.statusPlain.sessionCopyTooltip":"ID をコピー","composer.statusPlain.sessionLabel":"セッション：","composer.statusSlashCommand.description":"スレッド ID、コンテキストの使用状況、レート制限を表示します","composer.statusSlashCommand.title":"ステータス","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"メッセージを送信できませんでした","composer.submit.emptyMessage":"開始するには、メッセージを入力してください","composer.submit.imageInputsUnsupported":"このメッセージを送信するには、画像を削除するか、モデルを切り替えてください。","composer.submit.loadingLocalConfig":"読み込んでいます...","composer.submit.missingCloudConfig":"クラウド環境を選択する必要があります","composer.submit.missingCloudTurn":"このタスクのフォローアップができません","composer.submit.noWorkspace":"Codex を使用するにはプロジェクトを追加してください","composer.submit.waitForImageUploads":"画像をアップロードしています…","composer.submitButtonTooltip.send":"送信する","composer.submitButtonTooltip.stop":"停止","composer.worktreeEnvironment.create":"ローカル環境を作成する","composer.worktreeEnvironment.default":"デフォルトの環境","composer.worktreeEnvironment.error":"環境の読み込み中にエラーが発生しました","composer.worktreeEnvironment.loading":"環境を読み込んでいます…","composer.worktreeEnvironment.title":"ローカル環境","composer.worktreeEnvironment.tooltip":"ローカル環境を選択する","composer.worktreeSetupFailed":"Worktree をセットアップできませんでした。セットアップ スクリプトについて、.codex/environments を確認してください。","compoundButton.secondaryAction":"セカンダリ アクション","copyButton.copied":"コピーしました","copyButton.copiedAriaLabel":"コピーしました","copyButton.copy":"コピーする","copyButton.copyAriaLabel":"コピーする","copyButton.copyCode":"コードをコピーする","diff.actionButton.revertFile":"ファイルを戻す","diff.actionButton.revertHunk":"戻す","diff.actionButton.revertSection":"すべてを戻す","diff.actionButton.revertSectionLabel":"すべてを戻す","diff.actionButton.stageFile":"ファイルをステージする","diff.actionButton.stageHunk":"ステージ","diff.actionButton.stageSection":"すべてをステージする","diff.actionButton.stageSectionLabel":"すべてをステージする","diff.actionButton.unstageFile":"ファイルのステージングを解除する","diff.actionButton.unstageHunk":"ステージングを解除する","diff.actionButton.unstageSection":"すべてのステージングを解除する","diff.actionButton.unstageSectionLabel":"すべてのステージングを解除する","diff.fileHeader.toggle":"ファイルの差分を切り替える","electron.onboarding.login.apikey.cancel":"キャンセルする","electron.onboarding.login.apikey.continue":"続行","electron.onboarding.login.apikey.label":"OpenAI API キー","electron.onboarding.login.apikey.open":"API キーを入力","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"サインインをキャンセルする","electron.onboarding.login.chatgpt.continue":"ChatGPT で続行","electron.onboarding.login.devbox":"リモート SSH に接続する","electron.onboarding.login.error":"サインインできませんでした：{rawMessage}","electron.onboarding.login.snake.start":"Snake を再生","electron.onboarding.login.sshConfig.cancel":"キャンセルする","electron.onboarding.login.sshConfig.continue":"続行","electron.onboarding.login.sshConfig.hostnameLabel":"SSH ホスト名","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"エージェントを使用した最適な構築方法","electron.onboarding.login.title":"Codex へようこそ","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"続行","electron.onboarding.welcome.doubleLimits.description":"Codex アプリのリリース記念として、4 月 2 日までレート制限が 2 倍になります。","electron.onboarding.welcome.freego.description":"お使いのプランで 3 月 2 日まで Codex を無料でご利用いただけます。一緒に構築を始めましょう。","electron.onboarding.welcome.new.title.anon":"ようこそ！","electron.onboarding.workspace.continue":"続行","electron.onboarding.workspace.empty":"続行するには、プロジェクトを追加してください","electron.onboarding.workspace.listLabel":"利用可能なプロジェクト","electron.onboarding.workspace.loading":"プロジェクトを読み込んでいます…","electron.onboarding.workspace.openFolder":"プロジェクトを追加する","electron.onboarding.workspace.selectAll":"すべて選択","electron.onboarding.workspace.skip":"スキップする","electron.onboarding.workspace.skip.error":"新しいプロジェクトを作成できませんでした：{message}","electron.onboarding.workspace.skip.error.unknown":"不明なエラー","electron.onboarding.workspace.skipping":"新しいプロジェクトを作成しています…","electron.onboarding.workspace.subtitle":"Codex は選択したフォルダーでファイルを編集して、コマンドを実行できるようになります。","electron.onboarding.workspace.title":"プロジェクトを選択","errorPage.list.checkSettings":"IDE 設定を更新してみてください","errorPage.list.configToml":"無効な設定がないか、config.toml を確認してください","errorPage.list.downloadExtension":"拡張機能の別のバージョンをダウンロードしてみてください","errorPage.list.runInWsl":"互換性の問題がある場合は、設定を確認して WSL での実行を無効にしてください","execApprovalRequest.menu.runAlways":"はい、このセッションでは今後尋ねないでください","execApprovalRequest.menu.runAlwaysWithAmendment":"はい、先頭が {command} のコマンドについて今後尋ねないでください","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"はい、先頭が次で始まるコマンドについて今後尋ねないでください","execApprovalRequest.menu.runOnce":"はい","execApprovalRequest.prompt":"このコマンドを実行しますか？","execApprovalRequest.reject":"いいえ","execFooter.exitCode":"コード {code}を終了する","execFooter.exitCode.unknown":"不明","execFooter.success":"成功","feedback.dialog.category.badResult":"悪い結果","feedback.dialog.category.bug":"バグ","feedback.dialog.category.goodResult":"良い結果","feedback.dialog.category.other":"その他","feedback.dialog.descriptionPlaceholder":"問題についてこちらで説明してください","feedback.dialog.dismiss":"閉じる","feedback.dialog.includeLogsLabel":"現在の Codex セッションログを含める","feedback.dialog.submit":"送信する","feedback.dialog.submitError":"フィードバックを送信できませんでした。しばらくしてからもう一度お試しください。","feedback.dialog.title":"フィードバック","feedback.dialog.uploadedMessage.existingIssue":"未解決の既存の問題","feedback.dialog.uploadedMessage.openIssue":"GitHub issue を開く","feedback.dialog.uploadedMessage.withThread":"フィードバックがアップロードされました。問題が解決しない場合、{openIssueLink}か、{existingIssueLink} にスレッド ID を入力してください。","feedback.dialog.uploadedTitle":"フィードバックがアップロードされました","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} を削除する","header.back":"前へ","header.recentChats":"タスク","header.recentTasks.seeAll":"すべて表示（合計{total}件）","home.header.getPlus":"Plus をはじめる","home.hero.letsBuild":"始めましょう","homePage.mainContent":"主要なコンテンツ","imageAttachment.defaultName":"画像","imageAttachment.preview.close":"画像のプレビューを閉じる","imageAttachment.removeAriaLabel":"{filename} を削除する","implementPlanRequest.option.implement":"はい、このプランを実施します","implementPlanRequest.prompt":"このプランを実施しますか？","inbox.archived.deleteError":"アーカイブ済みの実行を削除できませんでした","inbox.archived.deleteRun":"アーカイブ済みの実行を削除","inbox.archived.deleteSuccess":"アーカイブ済みのスレッドを削除しました。<settingsLink>アーカイブ済みのスレッド</settingsLink>でご覧ください。","inbox.archived.inlineLabel.auto":"このスレッドは自動的にアーカイブされました。<learnMoreLink>詳細はこちら</learnMoreLink>","inbox.archived.inlineLabel.manual":"このスレッドはアーカイブされました。","inbox.archived.noMessageFound":"メッセージはありません","inbox.automations.createError":"自動化を作成できませんでした","inbox.automations.deleteConfirm.cancel":"キャンセルする","inbox.automations.deleteConfirm.confirm":"自動化を削除する","inbox.automations.deleteConfirm.description":"自動化が完全に削除され、今後の実行がすべて停止されます。","inbox.automations.deleteConfirm.title":"{name}を削除しますか？","inbox.automations.deleteError":"自動化を削除できませんでした","inbox.automations.editTooltip":"自動化を編集する","inbox.automations.inProgress":"進行中","inbox.automations.new":"新規","inbox.automations.newToolbar":"新規自動化","inbox.automations.pauseTooltip":"自動化を一時停止する","inbox.automations.resumeTooltip":"自動化を再開する","inbox.automations.startingNow":"すぐに開始します","inbox.automations.startsIn":"{startTime}に開始します","inbox.automations.status.active":"アクティブ","inbox.automations.status.paused":"一時停止済み","inbox.automations.status.runs":"{count}回実行","inbox.automations.status.started":"開始：{date}","inbox.automations.updateError":"自動化を更新できませんでした","inbox.automations.workspaceFallback":"-","inbox.filter.all":"すべて","inbox.filter.ariaLabel":"受信トレイの項目をフィルタリングする","inbox.filter.unread":"未読","inbox.list.archived":"アーカイブ済み","inbox.list.inProgress":"進行中","inbox.list.recent":"完了","inbox.list.upNext":"スケジュール済み","inbox.mode.automations":"オートメーション","inbox.mode.automations.beta":"ベータ版","inbox.noDescription":"説明は提供されていません","inbox.openThread":"スレッドを開く","inbox.rightPanel.emptySubtitle":"スケジュールされたタスクを設定して作業を自動化する","inbox.rightPanel.emptySubtitle.learnMore":"スケジュールされたスレッドを設定して作業を自動化する。 <link>詳細はこちら</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {#件の有効な自動化}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"未読の自動化はありません","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {#件の未読の自動化}}","inbox.rightPanel.emptyTitle":"項目が選択されていません","inbox.rightPanel.noThread":"この項目のスレッドはありません","inbox.rightPanel.quickStart.header":"テンプレートを使って開始する","inbox.untitled":"無題の受信トレイ項目","loadingPage.documentationLink":"ドキュメント","loadingPage.errorDescription":"Codex が以下のエラーによって停止しました：","loadingPage.errorDescription.documentation":"Codex の拡張機能を再開するには、再読み込みをクリックしてください。追加のサポートが必要な場合は、{documentationLink}をご覧ください。","loadingPage.errorSignal":"試せること：","loadingPage.errorTitle":"エラーが発生しました","loadingPage.openConfigToml":"config.toml を開く","loadingPage.reload":"再読み込み","localConversation.contextCompacted":"コンテキストは自動的に圧縮されました","localConversation.contextCompacting":"コンテキストを自動的に圧縮しています","localConversation.forkedFromConversation":"{threadTitle} からフォーク","localConversation.merge.autoResolve.failed":"自動解決をリクエストできませんでした：{error}","localConversation.merge.autoResolve.sent":"自動解決リクエストが送信されました","localConversation.merge.autoResolveMerge.missingConversation":"アクティブな会話がないと自動解決できません","localConversation.merge.autoResolveMerge.request":"マージの競合を自動解決する","localConversation.modelChanged":"モデルが {fromModel} から {toModel} に変更されました。","localConversation.modelChanged.warning.line1":"会話の途中でモデルを変更すると、パフォーマンスが低下します。","localConversation.modelChanged.warning.line2":"コンテキストは自動的に圧縮される場合があります。","localConversation.moveThread.createBranch.label":"ブランチを作成する","localConversation.moveToLocal.disabled.loading":"読み込んでいます...","localConversation.moveToLocal.modal.continue":"続行する","localConversation.moveToLocal.modal.destinationLabel":"移動先","localConversation.moveToLocal.modal.retry":"もう一度実行する","localConversation.moveToWorktree.modal.back":"戻る","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ブランチはすでに存在します。","localConversation.moveToWorktree.modal.branchesError":"ブランチを読み込めません","localConversation.moveToWorktree.modal.branchesLoading":"ブランチを読み込んでいます…","localConversation.moveToWorktree.modal.branchesRetry":"もう一度実行する","localConversation.moveToWorktree.modal.continue":"続行する","localConversation.moveToWorktree.modal.retry":"もう一度実行する","localConversation.moveToWorktree.modal.trailingSlashError":"ブランチ名は「/」で終わることはできません","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"新しいブランチ","localConversation.personalityChanged":"{personality}の性格に切り替えました","localConversation.planSummary.collapse":"プランのサマリーを折りたたむ","localConversation.planSummary.collapseTooltip":"折りたたむ","localConversation.planSummary.download":"プランをダウンロードする","localConversation.planSummary.expand":"プランのサマリーを展開する","localConversation.planSummary.expandTooltip":"広げる","localConversation.planSummary.openInNewWindow":"開く","localConversation.planSummary.openInNewWindow.tooltip":"新しいウィンドウで開く","localConversation.planSummary.title":"プラン","localConversation.planSummary.titleWriting":"プランを作成中","localConversation.planSummary.viewPlan":"プランを展開する","localConversation.remoteTaskCreated":"Codex Cloud で {taskLink} が作成されました","localConversation.remoteTaskCreated.task":"タスク","localConversation.scrollToBottomButton":"一番下までスクロールする","localConversation.sync.buttonLabel":"ローカルに引き継ぐ","localConversation.sync.buttonLabel.tooltip":"この Worktree とローカル チェックアウトの間で変更を受け渡します。","localConversation.sync.modal.loading.title":"変更を引き継いでいます…","localConversation.sync.modal.noChanges":"変更なし","localConversation.syncSetup.branchAriaLabel":"ブランチ名","localConversation.syncSetup.branchName":"ブランチ名","localConversation.syncSetup.branchPlaceholder.existing":"既存のブランチを選択","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ブランチを読み込んでいます…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"すでにチェックアウト済みです","localConversation.syncSetup.checkoutClean":"現在 {branchName} にいます","localConversation.syncSetup.checkoutDirty":"あなたが現在いる {branchName} には、未コミットの変更があります","localConversation.syncSetup.checkoutError":"ブランチをチェックアウトできませんでした：{message}","localConversation.syncSetup.checkoutLabel":"今すぐローカルにチェックアウト","localConversation.syncSetup.checkoutOnLocal":"ローカルに引き継ぐ","localConversation.syncSetup.checkoutPending":"ローカル ステータスを確認しています…","localConversation.syncSetup.checkoutUnavailable":"ローカル ワークスペースを利用できません","localConversation.syncSetup.checkoutUnknown":"ローカル ブランチを利用できません","localConversation.syncSetup.continue":"続行","localConversation.syncSetup.createBranchError":"引き継ぎブランチを設定できませんでした：{message}","localConversation.syncSetup.error":"問題が発生しました：{message}","localConversation.syncSetup.error.workingTreeMissing":"Worktree をスナップショットできませんでした。引き継ぎを再試行してください。","localConversation.syncSetup.mode.ariaLabel":"ブランチモードを選択","localConversation.syncSetup.mode.existing":"既存のブランチ","localConversation.syncSetup.mode.new":"新しいブランチ","localConversation.syncSetup.noBranches":"ブランチが見つかりません","localConversation.syncSetup.overwriteError":"ブランチは作成されましたが、完全には引き継がれていません。手動で引き継いでから、ローカルでチェックアウトしてください。","localConversation.syncSetup.setPrefix":"設定されたプレフィックス","localConversation.syncSetup.subtitle":"ローカルで Worktree の変更をテスト・編集する。<a>詳細はこちら</a>","localConversation.syncSetup.success.checkedOut":"ブランチはローカルで作成され、チェックアウトされました","localConversation.syncSetup.success.notCheckedOut":"ブランチが作成されました","localConversation.syncSetup.title":"ローカル ブランチに引き継ぐ","localConversation.syncWorktreeError.branchAriaLabel":"ブランチ名","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"引き継ぐブランチを選択してから、変更の読み込みを再試行してください。","localConversation.syncWorktreeError.branchSetup.title":"ブランチを更新する","localConversation.syncWorktreeError.branchUpdate.cta":"更新して再試行する","localConversation.syncWorktreeError.branchUpdate.error":"ブランチを更新できませんでした：{message}","localConversation.syncWorktreeError.branchUpdate.unknown":"問題が発生しました：{message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ブランチはどの Worktree でもチェックアウトされていません。","localConversation.syncWorktreeV2.applyUncommitted":"適用する","localConversation.syncWorktreeV2.applyUncommitted.disabled":"未コミットの変更を適用するには、ブランチをローカルでチェックアウトする必要があります。","localConversation.syncWorktreeV2.branches.empty":"ブランチが見つかりません","localConversation.syncWorktreeV2.branches.loading":"ブランチを読み込んでいます…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"引き継ぎブランチを変更する","localConversation.syncWorktreeV2.changeBranch.error":"引き継ぎブランチを変更できませんでした：{message}","localConversation.syncWorktreeV2.commandError.action.apply":"適用できませんでした","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Worktree を上書きできませんでした","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ローカルを上書きできませんでした","localConversation.syncWorktreeV2.commandError.back":"前へ","localConversation.syncWorktreeV2.commandError.body":"引き継ぎ中に Git コマンドが失敗しました。出力を確認し、再試行してください。","localConversation.syncWorktreeV2.commandError.retry":"もう一度実行する","localConversation.syncWorktreeV2.description":"ローカルとこの Worktree の間で変更を引き継ぎます。<a>詳細はこちら</a>。","localConversation.syncWorktreeV2.direction.ariaLabel":"引き継ぎの方向を選択する","localConversation.syncWorktreeV2.error.generic":"引き継ぎ中に問題が発生しました。もう一度お試しください。","localConversation.syncWorktreeV2.localBranchLabel":"ローカル環境","localConversation.syncWorktreeV2.noChanges":"変更を計算しています","localConversation.syncWorktreeV2.noChanges.summary":"変更なし","localConversation.syncWorktreeV2.overwrite.local":"ローカルを上書きする","localConversation.syncWorktreeV2.overwrite.worktree":"Worktree を上書きする","localConversation.syncWorktreeV2.partial.action.applyFailed":"変更を適用できませんでした","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ローカルの変更を上書きできませんでした","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Worktree の変更を上書きできませんでした","localConversation.syncWorktreeV2.partial.appliedLabel":"適用済み","localConversation.syncWorktreeV2.partial.back":"前へ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"競合を解決してから、もう一度お試しください。","localConversation.syncWorktreeV2.partial.conflictsLabel":"競合","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# 個のファイル}}","localConversation.syncWorktreeV2.partial.retry":"もう一度実行する","localConversation.syncWorktreeV2.partial.skippedLabel":"スキップ済み","localConversation.syncWorktreeV2.stateFailed.generic":"引き継ぐための Worktree 変更を取得中に問題が発生しました。もう一度お試しください。","localConversation.syncWorktreeV2.stateFailed.title":"Worktree の変更を読み込めませんできませんでした","localConversation.syncWorktreeV2.statusError.diffUnknown":"Worktree の変更を読み込めませんでした。","localConversation.syncWorktreeV2.statusError.retry":"もう一度実行する","localConversation.syncWorktreeV2.statusError.title":"ローカルのブランチの変更を読み込めません","localConversation.syncWorktreeV2.statusError.unknown":"ブランチのステータスは現在利用できません。もう一度お試しください。","localConversation.syncWorktreeV2.success.apply":"変更が適用されました","localConversation.syncWorktreeV2.success.overwrite":"引き継ぎが完了しました","localConversation.syncWorktreeV2.title":"引き継ぎの変更","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"{count, plural, other {質問}}をしています","localConversation.userInputRequest.noAnswer":"回答が提供されていません","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"質問済み：","localConversation.userInputRequest.summary.count":"{count, plural, other {# 件の質問}}","localConversation.workedFor":"{time}作業しました","localConversation.worktreeBranchSetup.action.create":"作成する","localConversation.worktreeBranchSetup.branchAriaLabel":"ブランチ名","localConversation.worktreeBranchSetup.branchPlaceholder.new":"新しいブランチを作成する","localConversation.worktreeBranchSetup.checkoutDisabled":"このブランチは {location} ですでにチェックアウトされています","localConversation.worktreeBranchSetup.checkoutError":"ブランチをチェックアウトできませんでした：{message}","localConversation.worktreeBranchSetup.createBranchError":"ブランチを設定できませんでした：{message}","localConversation.worktreeBranchSetup.error":"問題が発生しました：{message}","localConversation.worktreeBranchSetup.subtitle":"この Worktree から、変更をコミットするためのブランチを作成し、プッシュし、PR を作成してください。<a>詳細はこちら</a>。","localConversation.worktreeBranchSetup.title":"こちらから作業してください","localConversationPage.addWorktreeToSidebar.tooltip":"プロジェクトとして保存することで、このワークツリーから新しいスレッドを開始できます","localConversationPage.addWorktreeToSidebarError":"プロジェクトを追加できませんでした","localConversationPage.commitAndCreatePrModal.errorTitle":"コミットと PR の作成が失敗しました","localConversationPage.commitAndCreatePrModal.successTitle":"コミットして PR を作成しました","localConversationPage.commitAndPushModal.errorTitle":"コミットとプッシュが失敗しました","localConversationPage.commitAndPushModal.successTitle":"コミットして変更をプッシュしました","localConversationPage.commitCreatePr.open":"プルリクエストを開く","localConversationPage.commitCreatePr.successTitle":"最新の変更で PR を作成しました","localConversationPage.createBranchButtonLabel":"ここにブランチを作成する","localConversationPage.createPrModal.baseBranch":"ベース","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR を作成する","localConversationPage.createPrModal.createDescription":"最新の変更のプル リクエストをオープンします。","localConversationPage.createPrModal.errorTitle":"プル リクエストが失敗しました","localConversationPage.createPrModal.headBranch":"ヘッド","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR を開く","localConversationPage.createPrModal.successTitle":"プル リクエストが作成されました","localConversationPage.createPrModal.title":"プル リクエストを作成する","localConversationPage.createPrModal.viewDescription":"このブンラチにはプル リクエストが既に存在します。","localConversationPage.createPrModal.viewTitle":"プル リクエストの準備ができました","localConversationPage.createPullRequestAuthGh":"GitHub CLI の認証：`gh auth login` を実行してください","localConversationPage.createPullRequestBranchMissing":"ブランチ情報を利用できません","localConversationPage.createPullRequestButtonLabel":"PR を作成する","localConversationPage.createPullRequestButtonLabel.loading":"PR を作成しています...","localConversationPage.createPullRequestDefaultBranchMissing":"デフォルトブランチに関する情報は利用できません","localConversationPage.createPullRequestError":"プル リクエストを作成できませんでした","localConversationPage.createPullRequestExistingPullRequest":"このブンラチにはプル リクエストが既に存在します","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI ステータスを読み込んでいます…","localConversationPage.createPullRequestInstallGh":"プル リクエストを作成するには、GitHub CLI (gh) をインストールしてください","localConversationPage.createPullRequestNoRepo":"Git リポジトリが見つかりません","localConversationPage.createPullRequestPushStatusMissing":"プッシュステータスを読み込んでいます...","localConversationPage.createPullRequestSetUpstream":"このブランチをプッシュしてから、プル リクエストを作成してください","localConversationPage.createPullRequestSuccessToast":"プル リクエストが作成されました","localConversationPage.createPullRequestSwitchBranch":"フィーチャー ブランチをチェックアウトしてから、プル リクエストを作成してください","localConversationPage.error.render":"ローカル環境の会話を表示する際にエラーが発生しました","localConversationPage.error.toast":"会話が見つかりません","localConversationPage.forcePushError":"プッシュを強制できませんでした","localConversationPage.generatePullRequestMessageError":"プル リクエストのタイトルと本文を作成できませんでした","localConversationPage.generatePullRequestMessageFailed":"プル リクエストのタイトルと本文を作成できませんでした。","localConversationPage.gitActionResult.branch":"ブランチ","localConversationPage.gitActionResult.cancel":"キャンセルする","localConversationPage.gitActionResult.close":"閉じる","localConversationPage.gitActionResult.tryAgain":"もう一度試す","localConversationPage.gitActions":"Git アクション","localConversationPage.newChat":"新しいチャット","localConversationPage.openInTarget":"開く場所","localConversationPage.openPrimaryTarget":"開く","localConversationPage.planItemsCompleted":"{completedItems}/{totalItems, plural, other {#件のタスクが完了しました}}","localConversationPage.pushAuthError":"プッシュが失敗しました：認証が必要です","localConversationPage.pushBranchMissing":"ブランチ情報を利用できません","localConversationPage.pushButtonLabel":"プッシュ","localConversationPage.pushButtonLabel.loading":"プッシュしています...","localConversationPage.pushError":"変更をプッシュできませんでした","localConversationPage.pushModal.branchLabel":"ブランチ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"キャンセルする","localConversationPage.pushModal.confirm":"プッシュ通知","localConversationPage.pushModal.description":"最新のコミットをリモートリポジトリにプッシュします。","localConversationPage.pushModal.errorTitle":"プッシュが失敗しました","localConversationPage.pushModal.forcePush":"プッシュを強制","localConversationPage.pushModal.successTitle":"プッシュが完了しました","localConversationPage.pushModal.title":"変更をプッシュする","localConversationPage.pushModal.tryAgain":"もう一度試す","localConversationPage.pushNoUpstream":"アップストリームを設定してから、このブランチをプッシュしてください","localConversationPage.pushNoUpstreamError":"プッシュが失敗しました：アップストリームが構成されていません","localConversationPage.pushNothingToPush":"プッシュする新しいコミットはありません","localConversationPage.pushRemoteChangedError":"プッシュが失敗しました：リモートに新しいコミットがあります","localConversationPage.pushRemoteRejectedError":"リモート側がプッシュを拒否しました","localConversationPage.pushStatusMissing":"プッシュステータスを読み込んでいます...","localConversationPage.pushSuccessToast":"変更をプッシュしました","localConversationPage.viewPullRequestButtonLabel":"PR を表示する","localConversationPage.viewPullRequestButtonLabel.loading":"プル リクエストを読み込んでいます...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# 個のファイル}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# 件のリスト}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# 件の検索}}</countText>","localConversationTurn.exploration.accordion.count.separator":"、","localConversationTurn.exploration.accordion.header.active":"調べています","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts} 件","localConversationTurn.exploration.accordion.header.complete":"調べました","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} 件を調べました","localConversationTurnStory.showContent":"コンテンツを表示する","localConversationTurnStory.streamContent":"コンテンツをストリーミングする","localConversationTurnStory.toggleReasoning":"推論を表示する","localTaskRow.archiveError":"会話のアーカイブに失敗しました","localTaskRow.resumeError":"タスクを再開できませんでした","mermaidDiagram.ariaLabel":"Mermaid ダイアグラム","mermaidDiagram.copySource":"Mermaid をコピーする","mermaidDiagram.originalCode":"Mermaid ソースコード","notifications.permissions.description":"通知権限が必要な場合にアラートを表示します","notifications.permissions.label":"権限の通知を有効にする","notifications.turnMode.always":"常時","notifications.turnMode.description":"Codex が完了したことを通知するタイミングを設定します","notifications.turnMode.label":"完了通知の切り替え","notifications.turnMode.off":"未実行","notifications.turnMode.unfocused":"フォーカスされていないときのみ","patchApprovalRequest.approve":"承認する","patchApprovalRequest.menu.allowAlways":"はい、このセッションでは今後尋ねないでください","patchApprovalRequest.menu.allowForSession":"はい、このセッションでは今後尋ねないでください","patchApprovalRequest.menu.allowOnce":"はい","patchApprovalRequest.prompt":"これらの変更を行いますか？","patchApprovalRequest.reject":"いいえ","patchApprovalRequest.waitingForApproval":"ファイルを編集するための承認を待っています","pendingRequest.approvalExec.collapse":"折りたたむ","pendingRequest.approvalExec.expand":"広げる","pendingRequestStory.toastAnswer":"回答：{answer}","pendingRequestStory.toastApprovalTitle":"承認の回答","pendingRequestStory.toastFollowupPrompt":"プロンプト：{prompt}","pendingRequestStory.toastFollowupTitle":"フォローアップを送信しました","pendingRequestStory.toastNoAnswers":"回答が提供されていません","pendingRequestStory.toastQuestion":"質問：{question}","pendingRequestStory.toastUnknownDecision":"不明","pendingRequestStory.toastUserInputTitle":"回答を送信しました","quickAction.request.codeReview.branches.new":"{from}から{to}への変更内容をレビューしてください","quickAction.request.codeReview.uncommitted.new":"未コミットの変更をレビューしてください","reasoningItem.thinking":"思考中","reasoningItem.thought":"思考完了","reasoningItem.thoughtWithElapsed":"思考時間：{elapsed}","recentConversations.title":"最近の会話","recentTasks.worktreeInitFailedTitle":"Worktree を初期化できませんでした","recentTasks.worktreeSettingUpTitle":"Worktree を設定中です","requestInputPanel.continue":"続行","requestInputPanel.dismiss":"閉じる","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ここに入力してください","requestInputPanel.optionIndex":"{index}。","requestInputPanel.otherPlaceholder":"いいえ、Codex に何をすべきかを別の方法で指示してください","requestInputPanel.selectedBadge":"選択中","requestInputPanel.skip":"スキップする","requestInputPanel.submit":"送信する","review.commit.ariaLabel.includeUnstaged":"ステージングされていないものを含める","review.commit.buttonLabel":"コミット","review.commit.disabled.committing":"コミットしています...","review.commit.disabled.loadingDiff":"差分を読み込んでいます…","review.commit.disabled.missingContext":"コミットメッセージを生成するにはコンテキストを追加してください","review.commit.disabled.noChanges":"コミットする変更はありません","review.commit.disabled.noSelection":"コミットする変更を選択してください","review.commit.disabled.unavailable":"コミットは現在利用できません","review.commit.error":"変更をコメントできませんでした","review.commit.form.changesToBeCommitted":"変更","review.commit.form.commitTo":"ブランチ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"続行","review.commit.form.title":"変更のコミット","review.commit.generate.emptyResponse":"コミットメッセージを生成できませんでした。","review.commit.generate.failed":"コミットメッセージを生成できませんでした：{error}","review.commit.generate.missingPrompt":"コミットメッセージを生成するにはコンテキストを追加してください。","review.commit.includeUnstaged":"ステージングされていないものを含める","review.commit.loading.description":"しばらく時間がかかる場合があります...","review.commit.loading.step.commit.done":"未コミットの変更","review.commit.loading.step.commit.pending":"変更をコミットしています","review.commit.loading.step.createPr.done":"プル リクエストが作成されました","review.commit.loading.step.createPr.pending":"プル リクエストを作成しています","review.commit.loading.step.push.done":"ブランチ {branch} にプッシュしました","review.commit.loading.step.push.pending":"ブランチ {branch} にプッシュしています","review.commit.loading.title.commit":"変更をコミットしています","review.commit.loading.title.createPr":"PR を作成しています","review.commit.loading.title.push":"変更をプッシュしています","review.commit.messageLabel":"コミットメッセージ","review.commit.messagePlaceholder":"空欄にすると、コミットメッセージが自動生成されます","review.commit.nextSteps":"次のステップ","review.commit.nextSteps.commit":"コミット","review.commit.nextSteps.commitAndCreate":"コミットと PR の作成","review.commit.nextSteps.commitAndPush":"コミットとプッシュ","review.commit.nextSteps.prRequiresGh":"次の GitHub CLI が必要です：{command}","review.commit.rows.changes":"変更","review.commit.rows.commitCount":"{count, plural, other {# 個のコミット}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# 件のコミット}}および{stats}","review.commit.rows.fileCount":"{count, plural, other {# 個のファイル}}","review.commit.state.error.body":"コミット中に問題が発生しました。git status を確認し、もう一度お試しください。","review.commit.state.error.title":"コミットが失敗しました","review.commit.state.success.title":"変更がコミットされました","review.commit.untracked.loadingStats":"追跡されていない差分統計を読み込み中...","reviewFindingAttachments.count":"{count, plural, other {# 件の検出結果}}","settings.agent.configuration.configToml":"config.toml ファイルで定義されている承認とサンドボックス ポリシーが","settings.agent.configuration.configToml.description":"エージェントの動作をカスタマイズするには、構成を編集してください","settings.agent.configuration.configToml.docs":"ドキュメント","settings.agent.configuration.configToml.restartNote":"変更を適用するための編集後に、Codex を再起動する","settings.agent.configuration.subtitle":"これらの設定は、Codex が使用されるすべての場所に適用されます","settings.automations.banner.danger":"自動化はデフォルトのサンドボックス設定に従って実行され、現時点ではフルアクセスに設定されています。フルアクセスの状態でバックグラウンド自動化を実行すると、Codex が確認なしにファイルを変更したり、コマンドを実行したり、ネットワークにアクセスしたりできるため、リスクが高まります。サンドボックス設定をワークスペース書き込みに変更し、<rulesDocsLink>ルール</rulesDocsLink>を使って、エージェントがフルアクセスで実行できるコマンドだけを選択的に許可することを検討してください。","settings.automations.banner.defaultHowTo.default":"自動化は、デフォルトのサンドボックス設定に従って実行されます。ワークスペース外でのファイルの修正やネットワークアクセス、コンピュータ上でのアプリ操作が必要な場合、ツール呼び出しは失敗します。<rulesDocsLink>ルール</rulesDocsLink>を使用すると、サンドボックス外で実行するコマンドを選択的に許可できます。","settings.automations.banner.defaultHowTo.readOnly":"自動化はデフォルトのサンドボックス設定に従って実行され、現時点では読み取り専用に設定されています。ファイルの修正やネットワークアクセス、コンピュータ上でのアプリ操作が必要な場合、ツール呼び出しは失敗します。サンドボックス設定をワークスペースへの書き込みに変更することを検討してください。","settings.automations.cancel":"キャンセル","settings.automations.create":"作成する","settings.automations.cwdEmpty":"使用可能なプロジェクトがありません","settings.automations.cwdLabel":"プロジェクト","settings.automations.cwdPlaceholder":"フォルダーを選択してください","settings.automations.cwdSubtitle":"自動化を特定のブランチで実行したい場合、プロンプトでそのブランチを指定できます。","settings.automations.delete":"削除する","settings.automations.dialog.editTitle":"自動化を編集する","settings.automations.dialog.newTitle":"新規自動化","settings.automations.dialog.subtitle":"バックグラウンドで継続的なタスクを自動化します。Codex は検出結果を受信トレイに追加するか、報告がない場合はタスクを自動的にアーカイブします。<learnMoreLink>詳細はこちら</learnMoreLink>","settings.automations.dialog.title":"自動化を作成する","settings.automations.executionCopy.git":"自動化は専用の Worktree を使用してバックグラウンドで実行されます。","settings.automations.executionCopy.nonGit":"バージョン管理されていないプロジェクトでの自動化は、プロジェクトのディレクトリで直接実行されます。バックグラウンドの Worktree での実行を有効にするには、Git の使用を検討してください。","settings.automations.executionEnvironment.local":"ローカル環境","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"読み込んでいます...","settings.automations.nameLabel":"名前","settings.automations.namePlaceholder":"Sentry の問題を確認","settings.automations.pause":"一時停止","settings.automations.promptLabel":"プロンプト","settings.automations.promptPlaceholder":"$Sentry 内のクラッシュを調べる","settings.automations.resume":"再開する","settings.automations.rruleSummaryFallback":"カスタム スケジュール","settings.automations.runNow":"テストする","settings.automations.save":"保存する","settings.automations.scheduleBadge.dayCount":"{count}日","settings.automations.scheduleBadge.interval":"{count}時間","settings.automations.scheduleBadge.weekdays":"平日","settings.automations.scheduleBadge.weekends":"週末","settings.automations.scheduleHeader":"スケジュール","settings.automations.scheduleHours":"時間","settings.automations.scheduleLabel":"実行間隔","settings.automations.scheduleMode.daily":"毎日","settings.automations.scheduleMode.interval":"インターバル","settings.automations.scheduleModeLabel":"スケジュールの種類","settings.automations.scheduleSummary.daily":"毎週 {time}","settings.automations.scheduleSummary.interval":"{count} 時間ごと","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# 日}}","settings.automations.scheduleSummary.intervalDays":"{days} に {interval}","settings.automations.scheduleSummary.intervalHourly":"毎時","settings.automations.scheduleSummary.singleDay":"{day} の {time}","settings.automations.scheduleSummary.weekdays":"平日の {time}","settings.automations.scheduleSummary.weekdaysLabel":"平日","settings.automations.scheduleSummary.weekends":"週末の {time}","settings.automations.scheduleSummary.weekendsLabel":"週末","settings.automations.scheduleSummary.weekly":"{days} の {time}","settings.automations.scheduleWeekdays":"有効","settings.automations.weekdayState.excluded":"除外","settings.automations.weekdayState.included":"対象","settings.conversationDetail.steps":"ステップ","settings.conversationDetail.steps.description":"コマンドと出力を非表示にする","settings.conversationDetail.stepsWithCommands":"コード コマンドを使用したステップ","settings.conversationDetail.stepsWithCommands.description":"コマンドを表示し、出力を折りたたむ","settings.conversationDetail.stepsWithOutput":"コード出力を使用したステップ","settings.conversationDetail.stepsWithOutput.description":"コマンドを表示し、出力を広げる","settings.dataControls.archivedChats.dateTime":"{date}、{time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}、{time} • {repo}","settings.dataControls.archivedChats.empty":"アーカイブ済みのチャットはありません。","settings.dataControls.archivedChats.error":"アーカイブ済みのチャットを読み込めませんでした。","settings.dataControls.archivedChats.loading":"アーカイブ済みのチャットを読み込み中...","settings.dataControls.archivedChats.unarchive":"アーカイブを解除する","settings.dataControls.archivedChats.unarchiveError":"チャットをアーカイブ解除できませんでした","settings.dataControls.archivedChats.unarchiveSuccess":"スレッドのアーカイブが解除されました。<viewNowLink>今すぐ確認</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"スレッドのアーカイブが解除されました。","settings.dataControls.archivedChats.untitled":"タイトルのないチャット","settings.dataControls.archivedChats.viewNow":"今すぐ表示する","settings.editRow.headerPlaceholder":"キー","settings.editRow.removeEntry":"エントリを削除する","settings.editRow.valuePlaceholder":"値","settings.general.appearance":"外観","settings.general.appearance.codeFont":"コードのフォント","settings.general.appearance.codeFont.description":"チャットと差分全体でコードに使用するフォントとサイズを調整します","settings.general.appearance.codeFontFamily":"コードのフォントファミリー","settings.general.appearance.codeFontSize":"コードのフォントサイズ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"システムの半透明性ではなく単色の背景をウィンドウに使用します","settings.general.appearance.opaqueWindows.label":"不透明なウィンドウ背景を使用する","settings.general.appearance.sansFontFamily":"サンセリフ体のフォントファミリー","settings.general.appearance.sansFontFamily.description":"Codex UI に使用するフォントを調整します","settings.general.appearance.sansFontSize":"サンセリフ体のフォント サイズ","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark が最初のターンを実行中に、全画面のお祝いエフェクトを表示します","settings.general.appearance.sparkCelebrationEffects.label":"Spark お祝いエフェクト","settings.general.appearance.theme":"テーマ","settings.general.appearance.theme.dark":"ダーク","settings.general.appearance.theme.description":"ライトまたはダークを使用するか、お使いのシステムに合わせます","settings.general.appearance.theme.light":"ライト","settings.general.appearance.theme.system":"システム","settings.general.appearance.usePointerCursors.description":"インタラクティブ要素にマウスオーバーした際に、カーソルをポインターに変えます","settings.general.appearance.usePointerCursors.label":"ポインター カーソルを使用する","settings.general.enterBehavior.description":"有効にすると、複数行のプロンプトを {modifierSymbol} + Enter で送信する必要があります。","settings.general.enterBehavior.label":"{modifierSymbol} + Enter での長いプロンプトの送信を必須にする","settings.general.experimentalFeatures":"実験機能（ベータ版）","settings.general.experimentalFeatures.empty":"利用できる実験機能はありません。","settings.general.experimentalFeatures.loading":"実験機能を読み込んでいます…","settings.general.experimentalFeatures.restartNote":"実験機能の変更を適用するには、Codex を再起動してください","settings.general.experimentalFeatures.toggle":"{featureName} を切り替える","settings.general.followUpQueueMode.description":"Codex の実行中にフォローアップをキューに登録するか、現在の実行を途中で調整します。1回だけ反対の動作をしたい場合は、{invertFollowUpShortcutLabel} を押してください。","settings.general.followUpQueueMode.interrupt":"ステア","settings.general.followUpQueueMode.label":"フォローアップの動作","settings.general.followUpQueueMode.queue":"キュー","settings.general.notifications":"通知","settings.general.power.preventSleepWhileRunning.description":"Codex がスレッドを実行している間は、コンピュータをスリープ状態にしないでください。","settings.general.power.preventSleepWhileRunning.label":"実行中のスリープを防止する","settings.git.branchPrefix.ariaLabel":"ブランチのプレフィックス","settings.git.branchPrefix.description":"Codex で新しいブランチを作成するときに使用されるプレフィックス","settings.git.branchPrefix.label":"ブランチのプレフィックス","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"ブランチのプレフィックスの保存に失敗しました","settings.git.branchPrefix.save.success":"ブランチのプレフィックスを保存しました","settings.git.commitInstructions.ariaLabel":"コミット指示","settings.git.commitInstructions.description":"コミットメッセージ生成プロンプトに追加しました","settings.git.commitInstructions.label":"コミット指示","settings.git.commitInstructions.placeholder":"コミットメッセージの指針を追加…","settings.git.commitInstructions.save":"保存する","settings.git.commitInstructions.save.error":"コミット指示を保存できませんでした","settings.git.commitInstructions.save.success":"コミット指示を保存しました","settings.git.forcePush.ariaLabel":"常にプッシュを強制","settings.git.forcePush.description":"Codex からプッシュする場合は --force-with-lease を使用します","settings.git.forcePush.label":"常にプッシュを強制","settings.git.forcePush.save.disabled":"[常にプッシュを強制] が無効です","settings.git.forcePush.save.enabled":"[常にプッシュを強制] が有効です","settings.git.forcePush.save.error":"プッシュの強制の設定を保存できませんでした","settings.git.prInstructions.ariaLabel":"プル リクエストの指示","settings.git.prInstructions.description":"Codex が作成したプル リクエストの本体に追加されます","settings.git.prInstructions.label":"プル リクエストの指示","settings.git.prInstructions.placeholder":"プル リクエストの指針を追加…","settings.git.prInstructions.save":"保存する","settings.git.prInstructions.save.error":"プル リクエストの指示を保存できませんでした","settings.git.prInstructions.save.success":"プル リクエストの指示を保存しました","settings.ide.defaultOpenTarget.description":"デフォルトでファイルとフォルダーが開く場所","settings.ide.defaultOpenTarget.label":"デフォルトで開く場所","settings.ide.defaultOpenTarget.placeholder":"対象が見つかりませんでした","settings.ide.language.auto":"自動検出","settings.ide.language.autoOption":"自動検出","settings.ide.language.description":"アプリ UI の言語","settings.ide.language.label":"言語","settings.ide.language.search":"言語を検索","settings.layout.actionButton":"拡張を再起動する","settings.layout.actionTitle":"アクション付き設定","settings.layout.fullWidthTitle":"設定（全幅）","settings.layout.title":"設定","settings.localEnvironments.actions.add":"アクションを追加する","settings.localEnvironments.actions.add.description":"ツールバーから実行する新しいコマンドを作成します。","settings.localEnvironments.actions.add.save":"保存する","settings.localEnvironments.actions.empty":"ローカル ツールバーからコマンドを実行するアクションを追加します。","settings.localEnvironments.actions.icon.debug":"デバッグする","settings.localEnvironments.actions.icon.run":"実行されました","settings.localEnvironments.actions.icon.test":"テストする","settings.localEnvironments.actions.icon.tool":"ツール","settings.localEnvironments.actions.item.button.delete":"削除する","settings.localEnvironments.actions.item.command":"アクション スクリプト","settings.localEnvironments.actions.item.name":"名前","settings.localEnvironments.actions.item.platforms":"プラットフォーム","settings.localEnvironments.actions.item.platforms.help":"特定の OS でのみ実行します。","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"プラットフォームの選択","settings.localEnvironments.actions.item.platforms.specific":"プラットフォーム固有","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"削除する","settings.localEnvironments.actions.title":"アクション","settings.localEnvironments.breadcrumb.back":"前へ","settings.localEnvironments.breadcrumb.edit":"編集","settings.localEnvironments.breadcrumb.root":"環境","settings.localEnvironments.environment.actions.description":"これらのアクションは任意のコマンドを実行でき、ヘッダーに表示されます。","settings.localEnvironments.environment.actionsLabel":"アクション","settings.localEnvironments.environment.create":"ローカル環境を作成する","settings.localEnvironments.environment.defaultName":"ローカル","settings.localEnvironments.environment.edit":"ローカル環境を編集する","settings.localEnvironments.environment.empty":"このプロジェクトには、まだローカル環境が設定されていません。","settings.localEnvironments.environment.name":"名前","settings.localEnvironments.environment.setup":"セットアップ スクリプト","settings.localEnvironments.environment.setup.description":"このスクリプトは、Worktree 作成時に実行されます。","settings.localEnvironments.environment.setup.hint":"プロジェクトのルートで実行されます。","settings.localEnvironments.environment.setup.platformOverrides":"プラットフォーム オーバーライド","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} セットアップ スクリプトを追加する","settings.localEnvironments.environment.setup.platformOverrides.description":"特定の OS でデフォルト スクリプトをオーバーライドします。","settings.localEnvironments.environment.setup.platformOverrides.remove":"削除する","settings.localEnvironments.environment.setup.script":"スクリプト","settings.localEnvironments.environment.title":"環境の詳細","settings.localEnvironments.file.missing":"保存して、このファイルを初めて作成します。","settings.localEnvironments.file.parseError":"既存ファイルを解析できません。保存すると上書きされます。（{error}）","settings.localEnvironments.file.path":"ファイル：{path}","settings.localEnvironments.file.readError":"ローカル環境データの読み込みに失敗しました。（{error}）","settings.localEnvironments.file.title":"ローカル環境ファイル","settings.localEnvironments.loading.body":"プロジェクト設定を取得しています。","settings.localEnvironments.loading.title":"ローカル環境を読み込んでいます","settings.localEnvironments.preview.devOnly":"（開発者のみ）","settings.localEnvironments.preview.save":"保存する","settings.localEnvironments.preview.saveError":"ファイルの保存に失敗しました。（{error}）","settings.localEnvironments.preview.title":"プレビュー","settings.localEnvironments.save.disabled.name":"保存するには、環境名を追加してください。","settings.localEnvironments.save.disabled.noChanges":"保存する変更がありません。","settings.localEnvironments.save.disabled.saving":"保存中...","settings.localEnvironments.save.success":"ローカル環境を保存しました","settings.localEnvironments.unavailable.body":"このプロジェクトのローカル環境設定を読み込めませんでした。","settings.localEnvironments.unavailable.title":"ローカル環境は利用できません","settings.localEnvironments.workspace.add":"プロジェクトを追加する","settings.localEnvironments.workspace.title":"プロジェクト","settings.localEnvironments.workspaceSelect.addLabel":"環境を追加する","settings.localEnvironments.workspaceSelect.description":"ローカル環境によって、Codex にプロジェクトの Worktree の設定方法が指示されます。{learnMore}","settings.localEnvironments.workspaceSelect.empty":"プロジェクトがまだありません。追加してローカル環境を設定してください。","settings.localEnvironments.workspaceSelect.errorLabel":"環境に対応が必要です","settings.localEnvironments.workspaceSelect.learnMore":"詳細はこちら","settings.localEnvironments.workspaceSelect.listLabel":"利用可能なプロジェクト","settings.localEnvironments.workspaceSelect.loading":"プロジェクトを読み込んでいます","settings.localEnvironments.workspaceSelect.loadingLabel":"環境を読み込んでいます","settings.localEnvironments.workspaceSelect.title":"プロジェクトを選択","settings.localEnvironments.workspaceSelect.viewAction":"確認する","settings.mcp.addServer":"サーバーを追加する","settings.mcp.app.configure":"構成","settings.mcp.app.connect":"接続する","settings.mcp.apps.refresh":"更新する","settings.mcp.detail.addArgument":"引数を追加","settings.mcp.detail.addEnvVar":"環境変数を追加","settings.mcp.detail.addEnvVarPassthrough":"変数を追加","settings.mcp.detail.args":"引数","settings.mcp.detail.back":"前へ","settings.mcp.detail.command":"起動用コマンド","settings.mcp.detail.cwd":"作業ディレクトリ","settings.mcp.detail.docs":"MCP ドキュメントを開く","settings.mcp.detail.docs.link":"ドキュメント","settings.mcp.detail.envVarPassthrough":"環境変数パススルー","settings.mcp.detail.envVars":"環境変数","settings.mcp.detail.http.addEnvHeader":"変数を追加","settings.mcp.detail.http.addHeader":"ヘッダーを追加","settings.mcp.detail.http.bearerToken":"Bearer トークン環境変数","settings.mcp.detail.http.envHeaders":"環境変数からのヘッダー","settings.mcp.detail.http.headers":"ヘッダー","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"名前","settings.mcp.detail.save":"保存する","settings.mcp.detail.switchTransportNotice":"MCP サーバータイプを切り替える場合は、まずアンインストールしてください。","settings.mcp.detail.titleExisting":"{name} MCP を更新する","settings.mcp.detail.titleNew":"カスタム MCP に接続する","settings.mcp.detail.transport.http":"ストリーミング可能な HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"アンインストールする","settings.mcp.empty":"カスタム MCP サーバーが接続されていません","settings.mcp.myServers":"カスタムサーバー","settings.mcp.partnerServer.description.figma":"Figma コンテキストを完全に組み込むことで、より優れたコードを生成します","settings.mcp.partnerServer.description.github":"GitHub API と統合して、ワークフローを自動化してデータを抽出します","settings.mcp.partnerServer.description.linear":"Linear の問題追跡およびプロジェクト管理と統合します","settings.mcp.partnerServer.description.notion":"ドキュメントを読み、ページを更新し、タスクを管理します","settings.mcp.partnerServer.description.playwright":"ブラウザーの自動化を統合して、UI を設計してテストします","settings.mcp.partnerServer.install":"インストールする","settings.mcp.partnerServer.installAndAuthenticate":"インストールして認証する","settings.mcp.partnerServer.logoAlt":"{label} ロゴ","settings.mcp.partnerServer.manage":"管理する","settings.mcp.partnerServer.vendor":"作成者：{vendor}","settings.mcp.recommendedServers":"推奨サーバー","settings.mcp.restartApp":"再起動","settings.mcp.restartExtension":"拡張を再起動する","settings.mcp.server.enable":"有効にする","settings.mcp.server.login":"認証する","settings.mcp.server.settings":"設定","settings.multiselect.createOption":"「{value}」を作成する","settings.multiselect.removeOption":"削除する","settings.nav.account":"アカウント","settings.nav.agent":"構成","settings.nav.ariaLabel":"設定","settings.nav.back":"アプリに戻る","settings.nav.data-controls":"アーカイブされたスレッド","settings.nav.environments":"クラウド環境","settings.nav.externalTooltip":"[アルファ] ブラウザーで開きます","settings.nav.general-settings":"一般","settings.nav.git-settings":"Git","settings.nav.local-environments":"環境","settings.nav.mcp-settings":"MCP サーバー","settings.nav.notImplemented":"[アルファ] アルファではまだ利用できません","settings.nav.personalization":"パーソナライズ","settings.nav.skills-settings":"スキル","settings.nav.usage-analytics":"使用状況とアナリティクス","settings.nav.worktrees":"Worktree","settings.openSourceLicenses.back":"前へ","settings.openSourceLicenses.loading":"読み込んでいます...","settings.openSourceLicenses.missing":"サードパーティ通知が見つかりませんでした。","settings.openSourceLicenses.notSupported":"このホストでは利用できません。","settings.openSourceLicenses.rowDescription":"バンドルされている依存関係のサードパーティ通知","settings.openSourceLicenses.rowLabel":"オープン ソース ライセンス","settings.openSourceLicenses.subtitle":"このアプリに含まれている依存関係のサードパーティ通知","settings.openSourceLicenses.title":"オープン ソース ライセンス","settings.openSourceLicenses.view":"確認する","settings.personalization.agents.description":"Codex をあなたに合わせて調整するための指示を編集します。{learnMore}","settings.personalization.agents.learnMore":"詳細はこちら","settings.personalization.agents.loadError":"agents.md を読み込めません","settings.personalization.agents.loading":"agents.md を読み込んでいます…","settings.personalization.agents.placeholder":"カスタム指示を追加…","settings.personalization.agents.retry":"もう一度実行する","settings.personalization.agents.save":"保存する","settings.personalization.agents.save.error":"agents.md を保存できません","settings.personalization.agents.save.success":"agents.md が保存されました","settings.personalization.agents.title":"カスタム指示","settings.personalization.personality.description":"Codex の回答のデフォルトのトーンを選択してください","settings.personalization.personality.label":"性格","settings.sample.contentBody":"このレイアウトを使用すると、設定パネルを一定の間隔で配置できます。","settings.sample.contentTitle":"コンテンツ ブロックのサンプル","settings.section.account":"アカウント","settings.section.agent":"構成","settings.section.data-controls":"アーカイブされたスレッド","settings.section.environments":"クラウド環境","settings.section.external":"アルファ版ではブラウザーで開く","settings.section.general-settings":"一般","settings.section.git-settings":"Git","settings.section.local-environments":"環境","settings.section.mcp-settings":"MCP サーバー","settings.section.mcp-settings.docs":"ドキュメント","settings.section.mcp-settings.subtitle":"外部ツールとデータ情報源を接続してください。","settings.section.personalization":"パーソナライズ","settings.section.skills-settings":"スキル","settings.section.unavailable":"アルファ版ではまだ利用できません","settings.section.usage-analytics":"使用状況とアナリティクス","settings.section.worktrees":"Worktree","settings.threadDetail.description":"スレッドに表示するコマンド出力の量を選択します","settings.threadDetail.label":"スレッドの詳細","settings.worktrees.conversation.untitled":"タイトルなしの会話","settings.worktrees.delete.error":"Worktree を削除できませんでした","settings.worktrees.empty.body":"Codex によって作成された Worktree はここに表示されます。","settings.worktrees.empty.title":"Worktree はまだありません","settings.worktrees.error.body":"Worktree の読み込み中に問題が発生しました。","settings.worktrees.error.retry":"もう一度実行する","settings.worktrees.error.title":"Worktree を読み込めません","settings.worktrees.loading.body":"Worktree の詳細を取得しています。","settings.worktrees.loading.title":"Worktree を読み込み中","settings.worktrees.repository.loading":"リポジトリのメタデータを読み込み中...","settings.worktrees.repository.unknown":"不明なリポジトリ","settings.worktrees.row.conversations":"会話","settings.worktrees.row.conversations.empty":"この Worktree にリンクされた会話がありません。","settings.worktrees.row.conversations.loading":"会話を読み込んでいます...","settings.worktrees.row.delete":"削除する","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"新しいプロジェクトを追加","sidebarElectron.archiveThread":"スレッドをアーカイブする","sidebarElectron.archiveThreadError":"スレッドをアーカイブできませんでした","sidebarElectron.collapseFolder":"フォルダーを折りたたむ","sidebarElectron.createStableWorktree.dialog.cancel":"キャンセルする","sidebarElectron.createStableWorktree.dialog.create":"作成する","sidebarElectron.debugNavLink":"デバッグする","sidebarElectron.editWorkspaceRootOptionName":"名前を編集する","sidebarElectron.expandFolder":"フォルダーを展開する","sidebarElectron.groupByMenu.recency":"時系列リスト","sidebarElectron.groupByMenu.title":"まとめる","sidebarElectron.groupByMenu.workspace":"プロジェクトごと","sidebarElectron.inboxRouteNavLink":"オートメーション","sidebarElectron.markThreadUnread":"未読としてマークする","sidebarElectron.missingWorkspaceRoot":"このプロジェクトフォルダーは、削除されたか移動されています","sidebarElectron.newThread":"新しいスレッド","sidebarElectron.newThreadInGroup":"{folder}内で新しいスレッドを開始する","sidebarElectron.noRecentThreads":"最近のスレッドはありません","sidebarElectron.noTasks":"スレッドはありません","sidebarElectron.noTasks.start":"新しいプロジェクトを追加する","sidebarElectron.noTasksWithFilter":"フィルターに一致するスレッドはありません","sidebarElectron.pinnedThreads":"ピン留めされたスレッド","sidebarElectron.recentNavLink":"スレッド","sidebarElectron.recentThreads":"最近のスレッド","sidebarElectron.removeWorkspaceRootOption":"削除する","sidebarElectron.renameThread":"スレッド名を変更する","sidebarElectron.renameThreadDialogAriaLabel":"スレッドのタイトル","sidebarElectron.renameThreadDialogCancel":"キャンセルする","sidebarElectron.renameThreadDialogPlaceholder":"タイトルを追加…","sidebarElectron.renameThreadDialogSave":"保存する","sidebarElectron.renameThreadDialogSubtitle":"短く、わかりやすくしてください。","sidebarElectron.renameThreadDialogTitle":"スレッド名を変更する","sidebarElectron.renameThreadError":"スレッドの名前を変更できませんでした","sidebarElectron.renameWorkspaceRootOptionLabel":"表示名","sidebarElectron.showLess":"表示を減らす","sidebarElectron.showMenu.all":"すべてのスレッド","sidebarElectron.showMenu.relevant":"関連性がある","sidebarElectron.showMenu.relevantHint":"現在のブランチの最近のスレッド、Worktree、または確認が必要なその他のスレッドのみが表示されます","sidebarElectron.showMenu.title":"表示","sidebarElectron.showMenu.tooltip":"スレッドの絞り込み、並び替え、整理を実行","sidebarElectron.showMenu.trigger":"サイドバーのスレッドをフィルタリングする","sidebarElectron.showMore":"もっと表示する","sidebarElectron.skillsRouteNavLink":"スキル","sidebarElectron.sortMenu.created":"作成済み","sidebarElectron.sortMenu.title":"ソート基準","sidebarElectron.sortMenu.updated":"更新日時","sidebarElectron.taskNavigation":"自動化フォルダー","sidebarElectron.tasksInFolder":"{folder} 内の自動化","sidebarElectron.workspaceOptions":"{folder} のプロジェクト アクション","sidebarElectron.worktreeGroupTooltip":"これは git ワークツリーです","skills.appsPage.createSkill":"新しいスキル","skills.appsPage.empty.skills":"スキルが見つかりません","skills.appsPage.search.skills":"スキルを検索する","skills.appsPage.search.skills.label":"スキルを検索する","skills.appsPage.section.installedApps":"インストール済み","skills.appsPage.section.skills":"スキル","skills.appsPage.subheading":"Codex を強化しましょう。 <link>詳細はこちら</link>","skills.appsPage.tab.recommended":"推奨","skills.appsPage.tab.skills":"スキル","skills.card.contentsError":"スキル コンテンツを読み込めません。","skills.card.disable":"無効にする","skills.card.disableSuccess":"{skillName} スキルが無効になりました","skills.card.disabledBadge":"無効","skills.card.enable":"有効にする","skills.card.enableSuccess":"{skillName} スキルが有効になりました","skills.card.loadingContents":"スキル コンテンツを読み込んでいます…","skills.card.more":"その他のアクション","skills.card.open":"開く","skills.card.removeFailed":"スキルをアンインストールできませんでした","skills.card.removeSuccess":"{skillName} スキルがアンインストールされました","skills.card.toggleEnabledError":"スキルを更新できませんでした","skills.card.try":"試す","skills.card.trySkill":"スキルを試す","skills.card.uninstall":"アンインストールする","skills.hero.dotLabel":"スライド {index} に異動","skills.hero.next":"次のおすすめのスキル","skills.hero.trySkill":"スキルを試す","skills.page.createSkill":"新しいスキル","skills.page.empty":"スキルが見つかりません","skills.page.filteredEmpty":"フィルターに一致するスキルはありません","skills.page.filteredEmptyDescription":"検索やスコープ フィルターを調整してみてください","skills.page.heading":"スキル","skills.page.loading":"スキルを読み込んでいます…","skills.page.refreshSkills":"更新する","skills.page.refreshSkillsToUseNew":"更新して新しいスキルを使用する","skills.page.search":"スキルを検索する","skills.page.search.label":"スキルを検索する","skills.page.subheading":"Codex を強化しましょう。 <link>詳細はこちら</link>","skills.preview.copyPrompt":"プロンプトをコピーする","skills.preview.examplePrompt":"プロンプト例","skills.recommended.error":"推奨スキルを読み込めません","skills.recommended.install":"インストールする","skills.recommended.installSkill":"スキルをインストールする","skills.recommended.installSuccess":"{skillName} スキルがインストールされました","skills.recommended.installed":"インストール済み","skills.scope.admin":"管理者","skills.scope.adminInstalled":"管理者がインストール済み","skills.scope.builtIn":"システム","skills.scope.personal":"個人","skills.scope.repo":"リポジトリ","skills.scope.system":"システム","skills.scope.team":"Team","skills.scope.user":"ユーザー","skills.section.installed":"インストール済み","skills.section.recommended":"推奨","story.slidingToggle.existing":"既存","story.slidingToggle.fromLocal":"ローカルから","story.slidingToggle.new":"新規","story.slidingToggle.toLocal":"ローカルへ","terminal.close":"ターミナルを閉じる","terminal.title":"ターミナル","thinkingShimmer.default":"思考中","threadEnvIcon.cloudTooltip":"この会話は Codex Cloud で実行中です。","threadEnvIcon.localTooltip":"この会話はローカルで実行中です。","threadEnvIcon.worktreeTooltip":"この会話はローカルの git Worktree で実行中です。","threadHeader.archiveConfirmCancel":"キャンセルする","threadHeader.archiveConfirmConfirm":"アーカイブする","threadHeader.archiveConfirmSubtitle":"後でアーカイブ済みのスレッドで確認できます。","threadHeader.archiveConfirmTitle":"スレッドをアーカイブしますか？","threadHeader.copyAppLink":"Deeplink をコピーする","threadHeader.copySessionId":"セッション ID をコピー","threadHeader.copyWorkingDirectory":"作業ディレクトリをコピーする","threadHeader.forkIntoLocal":"ローカルにフォークする","threadHeader.forkIntoWorktree":"新しい Worktree にフォークする","threadHeader.forkPendingWorktreePrompt":"この会話を新しい Worktree にフォークしてください。","threadHeader.forkPendingWorktreeTitle":"フォークした会話","threadHeader.forkThreadError":"スレッドをフォークできませんでした","threadHeader.forkThreadRequiresGitRepo":"新しい Worktree にフォークするには、Git リポジトリが必要です","threadHeader.moreActions":"スレッド アクション","threadPage.newThread":"新しいスレッド","threadPage.runAction.changeEnvironment":"環境を変更する","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} のアクション","threadPage.runAction.environmentSelector.label":"環境を選択する","threadPage.runAction.label":"実行する","threadPage.runAction.missing.label":"実行アクションを設定する","threadPage.runAction.setup.commandLabel":"実行用コマンド","threadPage.runAction.setup.description":"依存関係のインストール方法とアプリの開始方法を Codex に伝えてください。","threadPage.runAction.setup.editMore":"環境設定","threadPage.runAction.setup.placeholder":"例：npm install npm run","threadPage.runAction.setup.submit":"保存して実行する","threadPage.runAction.setup.title":"実行する","threadPage.runAction.tooltip.withEnvironment":"{environmentName} のアクション","threadPage.toggleDiffPanel":"差分パネルを切り替える","threadPage.toggleTerminal":"ターミナルを切り替える","threadTitle.branchName":"（{branchName}）","threadTitle.openFolderInFinder":"フォルダーを開く","toolSummaryForCmd.exploredFiles":"ファイルを<verb>リストしました</verb>","toolSummaryForCmd.exploredFilesInPath":"{path} のファイルを<verb>リストしました</verb>","toolSummaryForCmd.exploringFiles":"ファイルを<verb>リストしています</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} のファイルを<verb>リストしています</verb>","toolSummaryForCmd.ranGenericCommand":"<status>コマンドを実行</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>実行済みコマンド</status>：{command}{timer}","toolSummaryForCmd.read":"{path} を<verb>読み込みました</verb>","toolSummaryForCmd.runningGenericCommand":"<status>コマンドを実行中</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} 用","toolSummaryForCmd.searchedFor":"{query} の<verb>検索が完了しました</verb>","toolSummaryForCmd.searchedForFiles":"ファイルの<verb>検索が完了しました</verb>","toolSummaryForCmd.searchedForInPath":"{path} での {query} の <verb>検索が完了しました</verb>","toolSummaryForCmd.searchingFor":"{query} を<verb>検索しています</verb>","toolSummaryForCmd.searchingForFiles":"ファイルを<verb>検索しています</verb>","toolSummaryForCmd.searchingForInPath":"{path} で {query} を<verb>検索しています</verb>","traceRecording.details.noteLabel":"これが起きたとき、何をしていましたか？（任意）","traceRecording.details.notePlaceholder":"大きなスレッドに移動した後にタブの切り替えを繰り返し...","traceRecording.details.submit":"トレースを送信する","traceRecording.details.subtitle":"パフォーマンスの問題を診断するのに役立てるため、このプロファイル トレースを送信できます。","traceRecording.details.title":"プロファイル トレースを送信しますか？","traceRecording.progress.subtitle":"この処理が完了する間、Codex を開いたままにします。","traceRecording.saving.title":"トレースを保存中...","traceRecording.startDetails.cancel":"キャンセルする","traceRecording.startDetails.submit":"OK、記録を開始する","traceRecording.startDetails.subtitle":"[OK] をクリックし、パフォーマンスの問題を再現してから、画面に表示される赤いアイコンをクリックして記録を停止し、トレースを確認してください。","traceRecording.startDetails.title":"トレース記録の仕組み","traceRecording.stopButton.ariaLabel":"トレース記録を停止する","traceRecording.upload.successToast":"プロファイル トレースを送信しました。","traceRecording.uploading.title":"トレースをアップロード中…","wham.diff.addComment":"コメントの追加","wham.diff.binaryFile":"バイナリ ファイルは表示されません","wham.diff.noContent":"空のファイルです","wham.fileTag.deleted":"削除済み","wham.fileTag.new":"新規","wham.formattedRelativeDateTime.compactDaysAgo":"{value}日","wham.formattedRelativeDateTime.compactHoursAgo":"{value}時間","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}分","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}か月","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}週間","wham.formattedRelativeDateTime.compactYearsAgo":"{value}年","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"あなたのタスクを処理しています","wham.whamProposedTask.title":"お勧めのタスク","wham.whamProposedTask.useSuggestion":"提案を使用する","workspaceRootDialog.addError":"プロジェクトを追加できませんでした","workspaceRootDialog.cancel":"キャンセルする","workspaceRootDialog.confirmAdd":"プロジェクトを追加する","workspaceRootDialog.confirmPick":"プロジェクトを使用する","workspaceRootDialog.description":"プロジェクトとして使用するには、{host} 上のパスを入力してください。","workspaceRootDialog.pathLabel":"プロジェクト パス","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"プロジェクト パスを追加する","workspaceRootDialog.title.pick":"プロジェクト パスを選択する","worktreeInitV2.cancel":"キャンセルする","worktreeInitV2.notification.failedTitle":"Worktree のセットアップが失敗しました","worktreeInitV2.output.empty":"出力を待っています…","worktreeInitV2.status.error":"Worktree のセットアップが失敗しました。","worktreeInitV2.status.running":"Worktree を作成して、セットアップを実行しています。","worktreeInitV2.status.runningFork":"この会話をフォークする新しい Worktree を作成しています。","worktreeInitV2.status.success":"Worktree が作成されました。","worktreeInitV2.title":"Worktree を作成しています","worktreeInitV2.workLocallyInstead":"代わりにローカルで作業する","worktreeRestoreBanner.body":"このスレッドの Worktree は、ディスク スペースを節約するために削除されました。","worktreeRestoreBanner.missing.body":"このスレッドの作業ディレクトはもう存在しません。","worktreeRestoreBanner.missing.title":"現在の作業ディレクトリがありません","worktreeRestoreBanner.restore.error":"Worktree を復元できませんでした：{message}","worktreeRestoreBanner.restore.success":"Worktree が復元されました","worktreeRestoreBanner.restoreCta":"Worktree を復元する","worktreeRestoreBanner.title":"Worktree がクリーンアップされました"};export{e as default};
+const e={"CopyButton.copyTooltip":"コピーする","app.sidebar.hide":"サイドバーを非表示にする","app.sidebar.show":"サイドバーを表示する","app.sidebar.tooltip":"サイドバーを切り替える","appHeader.installUpdate":"更新する","appSunset.body":"このバージョンのアプリはサポートが終了しました。<here>こちら</here>で最新バージョンをダウンロードしてください。","appSunset.title":"更新が必要です","automation.updateDirective.create":"作成する","automation.updateDirective.open":"開く","automation.updateDirective.untitled":"タイトルのない自動化","automation.updateDirective.update":"更新する","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {試行回数：#}}","cloudTaskRow.archiveError":"タスクをアーカイブできませんでした","code.diff.requestChange":"変更リクエスト","code.diffComment.cancel":"キャンセルする","code.diffComment.comment":"コメント","code.diffComment.delete":"削除する","code.diffComment.save":"保存する","codeReviewAssistant.location":"{file}：{start}～{end}","codeReviewAssistant.noFindings":"検出結果はありませんでした。","codex.alert.closeAriaLabel":"閉じる","codex.appUpsellBanner.cbpApi.message":"Codex アプリを使用してより迅速に構築できます。今すぐダウンロードするか、{learnMoreLink}。","codex.appUpsellBanner.download":"ダウンロードする","codex.appUpsellBanner.freeGo.message":"3 月 2 日まではお使いのプランで Codex をご利用いただけます。Codex アプリで構築をスピードアップしましょう。","codex.appUpsellBanner.later":"後で","codex.appUpsellBanner.learnMoreLowercase":"詳細はこちら","codex.appUpsellBanner.new":"新規","codex.appUpsellBanner.proPlusBusiness.message":"4 月 2 日までは 2 倍のレート制限で Codex アプリをお試しいただけます。今すぐダウンロードするか、{learnMoreLink}。","codex.appUpsellBanner.title":"Codex アプリ","codex.applyDropdown.header.changes":"変更","codex.applyDropdown.header.fileCount":"{count, plural, other {#個のファイル}}","codex.applyDropdown.header.rows":"行","codex.applyDropdown.header.title":"変更を適用する","codex.applyDropdown.header.workspace":"プロジェクト","codex.applyDropdown.results.conflicted":"{count, plural, other {競合しているファイル：{count}件}}","codex.applyDropdown.results.empty":"コピーされたファイルはありません","codex.applyDropdown.results.skipped":"{count, plural, other {スキップされたファイル：{count}件}}","codex.applyOrRevertBanner.apply":"適用する","codex.applyOrRevertBanner.applyMessage":"変更を適用して、ローカル環境で続行しますか？","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"このタスクは {environment} で作成されたため、正常に適用されない可能性があります。","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"変更は {environment} で実行されたため、正常に適用されない可能性があります。","codex.applyOrRevertBanner.reapply":"再適用する","codex.applyOrRevertBanner.revert":"戻す","codex.applyOrRevertBanner.revertMessage":"適用された変更を元に戻しますか？","codex.applyResultsDialog.applied":"適用が正常に完了（{count}件）","codex.applyResultsDialog.close":"閉じる","codex.applyResultsDialog.conflicted":"競合あり（{count}件）","codex.applyResultsDialog.noDetails":"ファイルの詳細はありません。","codex.applyResultsDialog.skipped":"スキップ済み（{count}件）","codex.applyResultsDialog.title":"結果を適用する","codex.archiveInfo":"{dataControlsLink} でアーカイブ済みのチャットを表示します。","codex.archiveInfo.dataControlsLink":"データ コントロール","codex.archiveInfo.electron":"{settingsLink} でアーカイブ済みのチャットを表示します。","codex.archiveInfo.extension":".codex フォルダー内のアーカイブ済みのチャットを表示します。","codex.archiveInfo.settingsLink":"設定","codex.banner.content.description":"複数タスクの並行処理、あらゆる環境での進捗追跡、AI による PR レビュー。","codex.banner.content.headline":"Codex はこれらの作業すべてに対応します。","codex.cloudTaskRow.archiveTask":"タスクをアーカイブする","codex.cloudTaskRow.confirmArchiveTask":"確認","codex.command.feedback":"フィードバック","codex.command.findInThread":"検索","codex.command.forceReloadSkills":"再読み込み強制スキル","codex.command.logOut":"ログアウト","codex.command.manageTasks":"タスクを管理する","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"前へ","codex.command.navigateForward":"進む","codex.command.newThread":"新しいスレッド","codex.command.nextThread":"次のスレッド","codex.command.openFolder":"フォルダーを開く","codex.command.openSkills":"スキルに移動","codex.command.openThreadOverlay":"スレッドを開く","codex.command.personalitySettings":"性格","codex.command.previousThread":"前のスレッド","codex.command.settings":"設定","codex.command.toggleDiffPanel":"差分パネルを切り替える","codex.command.toggleSidebar":"サイドバーを切り替える","codex.command.toggleTerminal":"ターミナルを切り替える","codex.commandGroup.app":"アプリ","codex.commandGroup.configure":"構成","codex.commandGroup.navigation":"ナビゲーション","codex.commandGroup.panels":"パネル","codex.commandGroup.skills":"スキル","codex.commandGroup.thread":"スレッド","codex.commandGroup.workspace":"プロジェクト","codex.commandMenu.noResults":"一致するものが見つかりません","codex.commandMenu.searchPlaceholder":"検索コマンド","codex.commandMenu.suggestedGroup":"おすすめ","codex.commandMenu.switchWorkspace":"プロジェクトを切り替える","codex.commandMenu.title":"コマンドのメニュー","codex.common.retry":"もう一度実行する","codex.composer.searchBranches":"ブランチを検索","codex.dialog.basic.body":"これは、Radix Dialog を包む当社のラッパーを使用したシンプルなモダル ダイアログです。","codex.dialog.basic.cancel":"キャンセルする","codex.dialog.basic.confirm":"確認","codex.dialog.basic.open":"ダイアログを開く","codex.dialog.basic.title":"サンプルダイアログ","codex.dialog.long.close":"閉じる","codex.dialog.long.line":"ダイアログ内のコンテンツが長い場合のスクロール動作を示すサンプル行：{index}","codex.dialog.long.open":"長いダイアログを開く","codex.dialog.long.title":"長いコンテンツダイアログ","codex.dialog.unstyled.body":"このストーリーは、呼び出し元がダイアログ コンテンツのスタイル設定を完全に制御する方法を示しています。","codex.dialog.unstyled.open":"スタイルが未設定のダイアログを開く","codex.dialog.unstyled.title":"スタイルが未設定のコンテンツ","codex.diff.openInEditorPrompt.openButton":"エディタで開く","codex.diff.openInEditorPrompt.singleLine":"このファイルは大きすぎるため、ここに表示できません。","codex.diffView.failedToDecodeBase64Diff":"base64 の差分を解読できませんでした","codex.diffView.filesChanged":"{fileCount, plural, other {#個のファイルが変更されました}}","codex.diffView.imagePreviewAlt":"画像のプレビュー","codex.diffView.imagePreviewEmpty":"画像なし","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"差分データはありません","codex.diffView.pdfPreview.nextPage":"次のページ","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"前のページ","codex.diffView.pdfPreviewEmpty":"PDF のプレビューがありません","codex.diffView.pdfPreviewError":"PDF のプレビューを表示できません","codex.diffView.richPreviewDisable":"リッチ プレビューを無効にする","codex.diffView.richPreviewEnable":"リッチ プレビューを有効にする","codex.diffView.richPreviewLoading":"プレビューを読み込んでいます...","codex.diffView.richPreviewToggle":"リッチ プレビューを切り替える","codex.diffView.switchToUnified":"統合差分に切り替える","codex.environmentSelector.noEnvironment":"環境が選択されていません","codex.environments.environmentSettings":"環境設定","codex.environments.learnMore":"詳細はこちら","codex.environments.listError":"環境の読み込みに失敗しました。","codex.environments.noEnvironmentsFound":"環境が見つかりません","codex.environments.searchError":"環境を検索できませんでした。","codex.errorBoundary.genericError":"エラーが発生しました","codex.errorBoundary.goHome":"もう一度試す","codex.file.patch.missing":"このファイルのパッチを作成できません。","codex.gallery.automations.cwdLabel":"プロジェクト","codex.gallery.automations.nameLabel":"名前","codex.gallery.automations.namePlaceholder":"タスクを要約する","codex.gallery.automations.promptLabel":"プロンプト","codex.gallery.automations.promptPlaceholder":"Codex の処理内容を説明","codex.gallery.dialogs.automation.label":"自動化ダイアログ","codex.gallery.dialogs.basic.body":"シンプルな確認または短いフォームにこのレイアウトを使用します。","codex.gallery.dialogs.basic.cancel":"キャンセルする","codex.gallery.dialogs.basic.confirm":"確定する","codex.gallery.dialogs.basic.label":"基本ダイアログ","codex.gallery.dialogs.basic.title":"サンプル ダイアログ","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"問題について説明してください","codex.gallery.dialogs.feedbackSubmission.bad":"悪い結果","codex.gallery.dialogs.feedbackSubmission.bug":"バグ","codex.gallery.dialogs.feedbackSubmission.good":"良い結果","codex.gallery.dialogs.feedbackSubmission.includeLogs":"現在の Codex セッションログを含める","codex.gallery.dialogs.feedbackSubmission.label":"フィードバックの送信","codex.gallery.dialogs.feedbackSubmission.other":"その他","codex.gallery.dialogs.feedbackSubmission.placeholder":"問題についてこちらで説明してください","codex.gallery.dialogs.feedbackSubmission.submit":"送信する","codex.gallery.dialogs.feedbackSubmission.title":"フィードバック","codex.gallery.dialogs.feedbackSuccess.body":"フィードバックがアップロードされました。問題が解決しない場合は、GitHub issue を開くか、未解決の既存の問題でスレッド ID を指定してください：","codex.gallery.dialogs.feedbackSuccess.dismiss":"閉じる","codex.gallery.dialogs.feedbackSuccess.label":"フィードバックの成功","codex.gallery.dialogs.feedbackSuccess.title":"フィードバックがアップロードされました","codex.gallery.dialogs.gitApplyResults.applied":"適用が正常に完了（2 件）","codex.gallery.dialogs.gitApplyResults.close":"閉じる","codex.gallery.dialogs.gitApplyResults.conflicted":"競合（1 件）","codex.gallery.dialogs.gitApplyResults.label":"結果を適用する","codex.gallery.dialogs.gitApplyResults.title":"結果を適用する","codex.gallery.dialogs.gitPushError.body":"リモート履歴を安全に上書きできると判断した場合は、最新の変更をプルするかプッシュを強制します。","codex.gallery.dialogs.gitPushError.cancel":"キャンセルする","codex.gallery.dialogs.gitPushError.force":"プッシュを強制","codex.gallery.dialogs.gitPushError.label":"プッシュ エラー","codex.gallery.dialogs.gitPushError.subtitle":"ブランチが origin/main よりも古くなっています。","codex.gallery.dialogs.gitPushError.title":"変更をプッシュできませんでした","codex.gallery.dialogs.gitRevert.cancel":"キャンセルする","codex.gallery.dialogs.gitRevert.confirm":"戻す","codex.gallery.dialogs.gitRevert.label":"変更を戻す","codex.gallery.dialogs.gitRevert.skip":"今後は尋ねない","codex.gallery.dialogs.gitRevert.subtitle":"このアクションを実行すると、これらの変更がすべて削除されます。","codex.gallery.dialogs.gitRevert.title":"変更を戻しますか？","codex.gallery.dialogs.longForm.label":"長い形式のダイアログ","codex.gallery.dialogs.proseModal.body":"このモーダル スタイルは、長い指示、導入支援、リッチ コンテンツ ブロックに使用されます。","codex.gallery.dialogs.proseModal.close":"閉じる","codex.gallery.dialogs.proseModal.subtitle":"長い形式のガイダンスまたはドキュメントをここで共有します。","codex.gallery.dialogs.proseModal.title":"散文のモーダル","codex.gallery.dialogs.submitBlocked.label":"送信をブロック済み","codex.gallery.dialogs.submitBlocked.message":"プロジェクトを利用できないため、メッセージを送信できませんでした。","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"メッセージを送信できませんでした","codex.gallery.dialogs.title":"ダイアログ","codex.gallery.dropdown.filterPlaceholder":"項目をフィルタリングする","codex.gallery.dropdowns.actionRow":"アクション行","codex.gallery.dropdowns.actionRow.disabled":"無効なアクション","codex.gallery.dropdowns.actionRow.primary":"プライマリ アクション","codex.gallery.dropdowns.actionRow.secondary":"セカンダリ アクション","codex.gallery.dropdowns.actionRow.trigger":"アクションを表示する","codex.gallery.dropdowns.basic":"基本ドロップダウン","codex.gallery.dropdowns.basic.newFile":"新しいファイル","codex.gallery.dropdowns.basic.newFolder":"新しいフォルダー","codex.gallery.dropdowns.basic.openSettings":"設定を開く","codex.gallery.dropdowns.basic.title":"クイック アクション","codex.gallery.dropdowns.basic.trigger":"メニューを開く","codex.gallery.dropdowns.basic.upload":"アップロードする","codex.gallery.dropdowns.panel":"パネル表示","codex.gallery.dropdowns.panel.apply":"適用する","codex.gallery.dropdowns.panel.body":"差分をレビューして、プロジェクトに適用します。","codex.gallery.dropdowns.panel.preview":"プレビュー","codex.gallery.dropdowns.panel.title":"変更を適用する","codex.gallery.dropdowns.panel.trigger":"パネルを開く","codex.gallery.dropdowns.search":"検索可能なドロップダウン","codex.gallery.dropdowns.search.first":"アルファ版チャンネル","codex.gallery.dropdowns.search.second":"ベータ版ブランチ","codex.gallery.dropdowns.search.third":"リリース候補","codex.gallery.dropdowns.search.trigger":"項目をフィルタリングする","codex.gallery.dropdowns.submenu":"サブメニュー付きドロップダウン","codex.gallery.dropdowns.submenu.optionA":"プロジェクト アルファ版","codex.gallery.dropdowns.submenu.optionB":"プロジェクト ベータ版","codex.gallery.dropdowns.submenu.optionC":"プロジェクト ガンマ版","codex.gallery.dropdowns.submenu.primary":"所有者の割り当て","codex.gallery.dropdowns.submenu.secondary":"移動先","codex.gallery.dropdowns.submenu.tertiary":"アーカイブする","codex.gallery.dropdowns.submenu.trigger":"アクションを選択する","codex.gallery.dropdowns.title":"ドロップダウン","codex.gallery.inbox.automations.close":"閉じる","codex.gallery.inbox.automations.popover.cardTitle":"自動化を管理する","codex.gallery.inbox.automations.popover.dialogTitle":"自動化を管理する","codex.header.settingsTooltip":"設定","codex.hunk.patch.error":"ステージできませんでした","codex.hunk.patch.missing":"このハンクのパッチを作成できません。","codex.hunk.patch.partialSuccess":"部分的に成功しました","codex.hunk.patch.revertError":"ステージングを解除できませんでした","codex.hunk.patch.revertSuccess":"ステージング解除が完了しました","codex.hunk.patch.success":"ステージングが完了しましたました","codex.legal.autonomy.details":"詳細については、{link} をご覧ください","codex.legal.autonomy.details.link":"Codex ドキュメント","codex.legal.autonomy.title":"自動で行う作業範囲を指定する","codex.legal.backButton":"戻る","codex.legal.cloud.taskOne.meta":"openai/agi · Oct 12","codex.legal.cloud.taskOne.title":"リポジトリについて新しいデザイナーに説明する","codex.legal.cloud.taskThree.meta":"openai/codex · Oct 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"ダークモード テーマを作成する","codex.legal.cloud.taskTwo.meta":"openai/agi · Oct 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"導入バグを修正する","codex.legal.continue.apikey":"続行する","codex.legal.continueButton":"次へ","codex.legal.copilot.details":"すべてのモデル呼び出し、請求、レート制限に Copilot プランが使用されます。Codex 拡張機能のご利用に際しては、{oaiTos}と {gitHubTos}の両方が適用されます。","codex.legal.copilot.gitHubTosLink":"GitHub 利用規約","codex.legal.copilot.oaiTosLink":"OpenAI Codex 利用規約","codex.legal.copilot.title":"GitHub Copilot を使用","codex.legal.mistakes.review":"Codex が記述するコードと実行するコマンドをレビューしてください","codex.legal.mistakes.title":"ChatGPT が必ずしも正しいとは限りません","codex.legal.powered.details":"お使いのプランのレート制限と{link}が使用されます","codex.legal.powered.details.link":"学習データに関する設定","codex.legal.powered.title":"ChatGPT アカウントを使用","codex.legal.step.cloud.subtitle":"タスクを Codex に送信してバックグラウンドで実行することで、作業に集中して、効率よく進めることができます。","codex.legal.step.cloud.title":"クラウド上で Codex に任せる","codex.legal.step.intro.subtitle":"Codex はリポジトリ内でナビゲート、編集、コマンドおよびテストの実行を行います。ユーザーの ChatGPT アカウントを使用します。","codex.legal.step.intro.title":"Codex を IDE で使用する","codex.legal.step.todo.subtitle":"TODO コメントを記述して、ワンクリックで Codex タスクに変換できます。","codex.legal.step.todo.title":"TODO を Codex タスクに変換する","codex.legal.todo.heading":"// TODO：スキーマを実装してください","codex.localConversation.closeImagePreview":"画像のプレビューを閉じる","codex.localConversation.userImageAttachment":"ユーザーの添付画像","codex.localTaskRow.archiveTask":"スレッドをアーカイブする","codex.localTaskRow.awaitingApproval":"承認が必要","codex.localTaskRow.awaitingResponse":"回答を待機中","codex.localTaskRow.confirmArchiveTask":"確認","codex.loggedOut.apiKeyPrompt.cancel":"キャンセルする","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"API キーを取得する","codex.loggedOut.apiKeyPrompt.inputLabel":"OpenAI API キーを入力する","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API キーを使用している場合、クラウドタスクは無効です","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot と API キーを使用している場合、クラウドタスクは無効です","codex.loggedOut.signIn":"ChatGPT を使用してサインイン","codex.loggedOut.signIn.cancel":"サインインをキャンセルする","codex.loggedOut.signInWithCopilot":"GitHub Copilot を使用してサインイン","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API キーを使用する","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ツール","codex.mcpTool.collapsedLabel.verb.called":"呼び出し完了","codex.mcpTool.collapsedLabel.verb.calling":"呼び出し中","codex.mcpTool.embeddedResource.contentLabel":"コンテンツ","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME タイプ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ツールによって返されたコンテンツはありません","codex.mcpTool.rawPayloadHeading":"{server}.{tool} ツール呼び出しの未加工ペイロード","codex.menu.recent":"最近","codex.menu.seeAllHistory":"すべての履歴を表示する","codex.modelCapacityBanner.headline.noReset":"{modelName} は現在、処理能力の上限に達しています。後でもう一度お試しいただくか、別のモデルで新しい会話を開始してください。","codex.modelCapacityBanner.headline.withReset":"{modelName} は現在、処理能力の上限に達しています。{resetDate}以降にもう一度お試しいただくか、別のモデルで新しい会話を開始してください。","codex.modelCapacityBanner.title":"選択したモデルは処理能力の上限に達しています。","codex.patch.change.contentsDeleted":"コンテンツを削除しました","codex.patch.change.created":"作成済み","codex.patch.change.created-file":"作成済みファイル","codex.patch.change.creating":"作成しています","codex.patch.change.deleted":"削除済み","codex.patch.change.deleted-file":"削除済みファイル","codex.patch.change.deleting":"削除中","codex.patch.change.edited":"編集済み","codex.patch.change.edited-file":"編集済みファイル","codex.patch.change.editing":"編集中","codex.patch.change.noChanges":"変更なし","codex.patch.change.rejected-add":"拒否","codex.patch.change.rejected-delete":"拒否","codex.patch.change.rejected-edit":"拒否","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"完了したタスク：{completed}/{total}","codex.plan.todoListCreated":"合計{total}件のタスクを含むやることリストが作成されました","codex.profileDropdown.apiKeyAuth":"API キーを使用してログイン済み","codex.profileDropdown.codexSettings":"Codex の設定","codex.profileDropdown.copilotAuth":"Copilot を使用してログイン済み","codex.profileDropdown.defaultAccountTitle":"デフォルトのアカウント","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter で長いプロンプトを送信","codex.profileDropdown.enterBehaviorError":"設定を更新できませんでした","codex.profileDropdown.getPlus":"アップグレードして制限を引き上げる","codex.profileDropdown.keyboardShortcuts":"キーボードショートカット","codex.profileDropdown.language":"言語","codex.profileDropdown.languageDefault":"自動検出","codex.profileDropdown.languageSearchPlaceholder":"言語を検索","codex.profileDropdown.languageUpdateError":"言語を更新できませんでした","codex.profileDropdown.logOut":"ログアウト","codex.profileDropdown.mcp":"MCP 設定","codex.profileDropdown.openConfigToml":"config.toml を開く","codex.profileDropdown.openConfigToml.wsl":"WSL 環境で config.toml を開く","codex.profileDropdown.openExtensionSettings":"設定を開く","codex.profileDropdown.openMcpSettings":"MCP 設定を開く","codex.profileDropdown.openOnStartup":"起動時に開く","codex.profileDropdown.openOnStartupError":"設定を更新できませんでした","codex.profileDropdown.openSkillsSettings":"Skills の設定を開く","codex.profileDropdown.personalAccountTitle":"個人アカウント","codex.profileDropdown.queueFollowUps":"フォローアップをキューに登録する","codex.profileDropdown.queueFollowUpsError":"設定を更新できませんでした","codex.profileDropdown.readDocs":"ドキュメントを読む","codex.profileDropdown.readSkillsDocs":"ドキュメントを読む","codex.profileDropdown.runInWsl":"WSL で実行する","codex.profileDropdown.runInWslError":"設定を更新できませんでした","codex.profileDropdown.runInWslTooltip":"WSL 内で Codex を実行します。サンドボックスのセキュリティとパフォーマンス向上のために推奨されます。","codex.profileDropdown.settings":"IDE 設定","codex.profileDropdown.settingsPage":"設定","codex.profileDropdown.signInWithOpenAI":"ChatGPT を使用してサインイン","codex.profileDropdown.skills":"Skills の設定","codex.profileDropdown.switchToCopilotAccount":"Copilot アカウントを使用する","codex.profileDropdown.switchToOpenAIAccount":"OpenAI アカウントを使用する","codex.profileDropdown.todoCodelens":"やることリストを修正する","codex.profileDropdown.todoCodelensError":"設定を更新できませんでした","codex.profileDropdown.windowsDocumentation":"Windows ドキュメント","codex.profileFooter.signedInFallback":"設定","codex.profileFooter.upgrade":"アップグレードする","codex.recentTasksMenu.clearSearch":"検索をクリア","codex.recentTasksMenu.cloud":"クラウドタスク","codex.recentTasksMenu.count":"{count, plural, =0 {進行中のタスクはありません} other {#件のタスクが進行中}}","codex.recentTasksMenu.empty":"スレッドはまだありません","codex.recentTasksMenu.errorCloud":"タスクを読み込めませんでした。","codex.recentTasksMenu.errorCloud.inline":"クラウドタスクを読み込めませんでした。","codex.recentTasksMenu.filterAll":"すべて","codex.recentTasksMenu.filterCloudTasks":"クラウドタスクをフィルタリングする","codex.recentTasksMenu.filterTooltip":"環境別にタスクをフィルタリングする","codex.recentTasksMenu.local":"ローカル環境のタスク","codex.recentTasksMenu.recent":"すべてのタスク","codex.recentTasksMenu.search":"最近のタスクを検索する","codex.recentTasksMenu.searchEmpty":"結果がありません","codex.recentTasksMenu.tooltip":"タスクの履歴","codex.recentTasksMenu.trigger":"最近のタスク。{count, plural, other {#件が進行中}}","codex.remoteConversation.applyDiff.applyCta":"変更を適用する","codex.remoteConversation.applyDiff.dropdownTitle":"変更をローカルブランチに適用","codex.remoteConversation.applyDiff.revertCta":"変更を戻す","codex.remoteConversation.closeImagePreview":"画像のプレビューを閉じる","codex.remoteConversation.codexCloudTask":"<u>Codex Cloud</u> のタスクを表示しています","codex.remoteConversation.errorWithMessage":"エラー：{message}","codex.remoteConversation.loadingImage":"画像を読み込み中","codex.remoteConversation.openInWeb":"ウェブで開く","codex.remoteConversation.streaming":"開始しています","codex.remoteConversation.turnFailed":"このタスクの実行中にエラーが発生しました","codex.remoteConversation.turnTab.loading":"{number}回目の試行","codex.remoteConversation.turnTab.title":"{number} を試す","codex.remoteConversation.userImageAttachment":"ユーザーの添付画像","codex.remoteConversation.viewPreviousTurns":"ウェブで開きます","codex.remoteConversation.viewPreviousTurns.buttonText":"開く","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ウェブで開く","codex.review.copyGitApplyCommand":"git apply コマンドをコピーする","codex.review.copyGitApplyCommand.toast":"git apply コマンドをクリップボードにコピーしました","codex.review.diffTooLarge.description":"この差分は大きすぎてレビューに表示できません。","codex.review.diffTooLarge.title":"差分が大きすぎて表示できません","codex.review.expandOrCollapseDiffButton.collapse":"すべての差分を折りたたむ","codex.review.expandOrCollapseDiffButton.expand":"すべての差分を展開する","codex.review.expandOrCollapseDiffMenu.collapse":"すべての差分を折りたたむ","codex.review.expandOrCollapseDiffMenu.expand":"すべての差分を展開する","codex.review.fileSearch.clear":"ファイル フィルターをクリア","codex.review.fileSearch.empty":"現在のフィルターに一致するファイルはありません。","codex.review.fileSearch.label":"ファイルをフィルタリングする","codex.review.fileSearch.placeholder":"ファイルをフィルタリングする...","codex.review.filesChanged":"{num, plural, =0 {0個のファイルが変更されました} other {#個のファイルが変更されました}}","codex.review.find.loadMore":"一致するものをさらに読み込む","codex.review.fullReview.hideFileTree":"ファイルのツリーを非表示","codex.review.fullReview.showFileTree":"ファイルのツリーを表示","codex.review.header.moreOptions":"レビュー オプション","codex.review.largeDiff.banner":"大きな差分が検出されました - 一度に1つファイルを表示します。","codex.review.loadFullFiles.disable":"ファイル全体を読み込まない","codex.review.loadFullFiles.enable":"ファイル全体を読み込む","codex.review.noDiff":"ファイルの変更がここに表示されます","codex.review.noDiff.gitInit.createRepository":"Git リポジトリを作成する","codex.review.noDiff.gitInit.creating":"作成しています...","codex.review.noDiff.gitInit.error":"Git init が失敗しました：{message}","codex.review.noDiff.gitInit.success":"Git リポジトリが作成されました","codex.review.noDiff.gitRepoRequired.description":"このプロジェクト内の変更を追跡し、変更を元に戻してください","codex.review.noDiff.gitRepoRequired.title":"Git リポジトリを作成する","codex.review.noDiff.orNoLongerAvailable":"または、最後の差分はもう利用できません","codex.review.noDiff.reverted":"最後のやり取りは取り消されました","codex.review.noDiff.revertedOrCommitted":"最後のやり取りは取り消されたか、コミットされました","codex.review.refreshGitQueries":"更新する","codex.review.revert.file.error":"{path} を元に戻せませんでした","codex.review.revert.file.partialSuccess":"{path} の一部が元に戻されました","codex.review.revert.file.success":"{path} が元に戻されました","codex.review.revert.hunk.error":"{path} のハンク{hunkNumber}件を元に戻せませんでした","codex.review.revert.hunk.partialSuccess":"{path} のハンク{hunkNumber}件が部分的に元に戻されました。","codex.review.revert.hunk.success":"{path} のハンク{hunkNumber}件が元に戻されました","codex.review.revert.section.error":"セクションを元に戻せませんでした","codex.review.revert.section.partialSuccess":"セクションの一部が元に戻されました","codex.review.revert.section.success":"セクションが元に戻されました","codex.review.revertDialog.cancel":"キャンセル","codex.review.revertDialog.confirm":"確認","codex.review.revertDialog.message":"このアクションを実行すると、これらの変更がすべて削除されます。","codex.review.revertDialog.skip":"今後は尋ねない","codex.review.revertDialog.title":"変更を戻しますか？","codex.review.richPreview.disable":"リッチ プレビューを無効にする","codex.review.richPreview.enable":"リッチ プレビューを有効にする","codex.review.source.cloud":"クラウドの変更","codex.review.source.local.all":"すべてのブランチの変更","codex.review.source.local.lastTurn":"最後のターンの変更","codex.review.source.local.uncommitted":"未コミットの変更","codex.review.source.worktree":"未コミットの Worktree の変更","codex.review.stageFilter.empty.staged.description":"編集内容を受け入れてステージングする","codex.review.stageFilter.empty.staged.title":"ステージングされた変更はありません","codex.review.stageFilter.empty.unstaged.description":"コードの変更はここに表示されます","codex.review.stageFilter.empty.unstaged.title":"ステージングされていない変更はありません","codex.review.stageFilter.staged":"未ステージ","codex.review.stageFilter.staged.count":"ステージ済み · {count}件","codex.review.stageFilter.unstaged":"ステージ済み","codex.review.stageFilter.unstaged.count":"未ステージ · {count}件","codex.review.switchToSplit":"差分の分割に切り替える","codex.review.switchToUnified":"統合差分に切り替える","codex.review.toggleDiffView":"差分表示を切り替える","codex.review.wordDiffs.disable":"単語の差分を無効にする","codex.review.wordDiffs.enable":"単語の差分を有効にする","codex.review.wrap.disable":"行の折り返しを無効にする","codex.review.wrap.enable":"行の折り返しを有効にする","codex.section.patch.missing":"この選択のパッチを作成できません。","codex.shell.collapse":"シェルを折りたたむ","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"シェルコマンドをコピーしました","codex.shell.copy.copyTooltip":"シェルコンテンツをコピーする","codex.shell.copyCommand":"コマンドをコピーする","codex.shell.copyOutput":"出力をコピーする","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"シェルを広げる","codex.shell.name":"シェル","codex.shell.noOutput":"出力なし","codex.signInFailed.message":"サインインできませんでした：{rawMessage}","codex.stories.toast.show":"トーストを表示する","codex.stories.tooltip.basic":"これはヒントです","codex.stories.tooltip.hoverMe":"ここにカーソルを合わせてください","codex.stories.tooltip.largerOffset":"このヒントは表示位置のずれが大きいです","codex.stories.tooltip.offsetButton":"表示位置の大きいずれ","codex.stories.tooltip.shortcutButton":"ショートカットを使用","codex.stories.tooltip.withShortcut":"ターミナルを切り替える","codex.taskRow.title":"新しいスレッド","codex.taskRowLayout.confirm":"確認","codex.threadFindBar.chatFilter":"チャットを検索する","codex.threadFindBar.close":"検索を閉じる","codex.threadFindBar.diffFilter":"差分を検索する","codex.threadFindBar.label":"スレッド内を検索する","codex.threadFindBar.nextResult":"次の結果","codex.threadFindBar.noResults":"結果なし","codex.threadFindBar.placeholder":"スレッドを検索…","codex.threadFindBar.placeholder.extension":"スレッドを検索…","codex.threadFindBar.placeholder.review":"差分を検索する...","codex.threadFindBar.placeholder.review.extension":"差分を検索する...","codex.threadFindBar.previousResult":"前の結果","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# 個のファイルが変更されました}}","codex.unifiedDiff.inlineLargeFile":"サイズが大きいため、インライン表示できません","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"元に戻す","codex.unifiedDiff.revertPatchError":"変更を元に戻せませんでした","codex.unifiedDiff.revertPatchSuccess":"変更が元に戻されました","codex.unifiedDiff.reviewChangesSuffix":"変更","codex.unifiedDiff.reviewShort":"レビューする","codex.unifiedDiff.viewDiffTooltip":"レビューする","codex.upsellBanner.business.headline":"今すぐアクセス回数を増やすには、管理者にリクエストを送信するか、{resetDate}までお待ちください","codex.upsellBanner.cbp.headline":"今すぐアクセス回数を増やすには、管理者にリクエストを送信してください。","codex.upsellBanner.cta.addCredits":"クレジットを追加する","codex.upsellBanner.cta.upgradeAccount":"アップグレードする","codex.upsellBanner.cta.viewUsage":"使用状況を確認する","codex.upsellBanner.free.trialHeadline":"レート制限は {resetDate}にリセットされます。引き続き Codex を使用するには、GPT-5.3-Codex にアクセスするか、今すぐ ChatGPT Plus の無料トライアルを開始してください。","codex.upsellBanner.freeOrGo.headline":"レート制限は {resetDate}にリセットされます。引き続き Codex を使用するには、今すぐ Plus にアップグレードしてください。","codex.upsellBanner.general.headline":"レート制限は {resetDate}にリセットされます。","codex.upsellBanner.general.title":"Codex メッセージの使用上限に達しました","codex.upsellBanner.go.trialHeadline":"レート制限は {resetDate}にリセットされます。引き続き Codex を使用するには、今すぐ Plus の無料トライアルを開始してください。","codex.upsellBanner.plus.headline":"レート制限は {resetDate}にリセットされます。引き続き Codex を使用するには、クレジットを追加するか、今すぐ Plus にアップグレードしてください。","codex.upsellBanner.pro.headline":"レート制限は {resetDate}にリセットされます。引き続き Codex を使用するには、クレジットを追加してください。","codex.userMessage.autoResolveSync":"競合を自動解決する","codex.userMessage.commentCount":"{count, plural, other {#件のコメント}}","codex.userMessage.copiedAriaLabel":"コピーしました","codex.userMessage.copiedTooltip":"コピーしました","codex.userMessage.copyAriaLabel":"メッセージをコピーする","codex.userMessage.copyTooltip":"コピーする","codex.userMessage.implementPlan":"プランを実施する","codex.userMessage.noContent":"（コンテンツなし）","codex.userMessage.priorConversation":"以前の会話を参照","codex.userMessage.reviewMode":"レビューモード","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} 用","codex.webSearch.summary.verb.completed":"ウェブを検索しました","codex.webSearch.summary.verb.inProgress":"ウェブを検索しています","codex.windowsInstallWslBanner.dismiss":"閉じる","codex.windowsInstallWslBanner.installWslCta":"サンドボックスを有効にする","codex.windowsInstallWslBanner.learnMore":"詳細はこちら","codex.windowsSandboxBanner.content":"エージェントモードでは、Windows の実験的なサンドボックスを使用してファイルシステムおよびネットワークへのアクセスを制限します。{sandboxLink}","codex.windowsSandboxBanner.title":"エージェントモードでサンドボックスを有効にする","codex.windowsSubDropdown.windowsSandbox":"Windows サンドボックス","codex.windowsSubDropdown.windowsSettings":"Windows 設定","codexUpgradeModal.body":"最新のエージェント型コーディング モデルであり、一般的な技術的作業において、より賢く、より速く、より高い能力を発揮します。{link}","codexUpgradeModal.close":"閉じる","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"詳細はこちら","codexUpgradeModal.title":"GPT-5.3-Codex のご紹介","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex を今すぐ試す","codexUpgradeModal.useExistingModel":"現在のモデルで続行","commentAttachments.numComments":"{count, plural, other {#件のコメント}}","commentAttachments.removeAriaLabel":"コメントの添付を削除する","common.close":"閉じる","composer.addContext.openFilePickerError":"ファイル ピッカーを開けません","composer.addContextDropdown.ariaLabel":"ファイルの追加など","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ファイルの追加など","composer.addPhotosAndFiles":"写真とファイルを追加","composer.atMentionList.emptyQuery":"ファイルを検索するには入力してください","composer.atMentionList.loading":"検索しています...","composer.atMentionList.noResults":"結果がありません","composer.attemptsSelector.option":"{count, plural, other {#個のバージョン}}","composer.attemptsSelector.tooltip":"Codex が同時に行う試行の回数","composer.attemptsSelector.trigger":"{count}倍","composer.backgroundTerminals.stop":"停止","composer.cloudFollowUp.cloud":"クラウド","composer.cloudFollowUp.local":"ローカル環境","composer.cloudFollowUp.whereRun":"後続処理をどこで実行しますか？","composer.cloudTaskCreationError":"クラウドタスクの作成中にエラーが発生しました","composer.cloudTaskError":"タスクの作成中にエラーが発生しました","composer.contextWindow.autoCompactionTooltipLine1":"Codex によってコンテキストが自動的に圧縮されます","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"コンテキスト画面：","composer.contextWindowUsageStatusFull":"使用率 {usage}%","composer.contextWindowUsageStatusLeft":"{usage}%を使用済み（残り{remaining}%）","composer.contextWindowUsageTooltip":"使用済み token：{usedTokens}k / {contextWindow}k","composer.customCliTooltip":"カスタム CLI 実行ファイルを使用中","composer.dictation.aria":"音声入力","composer.dictation.cancel.aria":"音声入力を停止","composer.dictation.cancel.tooltip":"音声入力を停止","composer.dictation.startError":"音声入力を開始できません","composer.dictation.submit.aria":"文字起こしして送信する","composer.dictation.submit.tooltip":"文字起こしして送信する","composer.dictation.tooltip":"長押しして音声入力","composer.dictation.transcribeError":"音声を文字起こしできません","composer.dictation.unsupported":"このデバイスでは音声入力を利用できません","composer.dropOverlay.holdShift":"{key}を長押しすると、ドロップできます","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"新しく作成","composer.environmentSelector.error":"環境の読み込み中にエラーが発生しました","composer.environmentSelector.goBack":"コンポーザーに戻る","composer.environmentSelector.title":"環境を選択","composer.environmentSelector.tooltip":"クラウド環境を選択","composer.feedbackSlashCommand.title":"フィードバック","composer.filePicker.selectFile":"ファイルを1つ選択する","composer.filePicker.selectFiles":"ファイルを複数選択する","composer.followerTooltip":"続行するには、この会話を開始したウィンドウに戻ってください。","composer.footer.branchSwitch.checkoutError":"ブランチを切り替えることができませんでした：{message}","composer.footer.branchSwitch.createAndCheckout":"新しいブランチを作成してチェックアウト...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"変更をコミットし、新しいブランチを作成してチェックアウトします","composer.footer.branchSwitch.createBranchError":"ブランチを作成できませんでした：{message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ブランチ名","composer.footer.branchSwitch.createDialog.branchExistsError":"ブランチはすでに存在します。","composer.footer.branchSwitch.createDialog.close":"閉じる","composer.footer.branchSwitch.createDialog.createAndCheckout":"作成してチェックアウトする","composer.footer.branchSwitch.createDialog.placeholder":"新しいブランチ","composer.footer.branchSwitch.createDialog.title":"ブランチを作成してチェックアウトする","composer.footer.branchSwitch.createDialog.trailingSlashError":"ブランチ名は「/」で終わることはできません","composer.footer.branchSwitch.tooltip":"ブランチを切り替える","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} をチェックアウトするには{fileCount, plural, other {# 個のファイル}}に変更をコミットしてください。","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"変更を","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, other {# 個のファイル}}にコミットして {branchName} をチェックアウトします。","composer.footer.branchSwitch.uncommittedDialog.cancel":"キャンセルする","composer.footer.branchSwitch.uncommittedDialog.commit":"コミットしてブランチを切り替える...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"以下のファイルに対する変更はチェックアウトにより上書きされます。","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"続行するには変更をコミットしてください","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"選択したブランチ","composer.footer.branchSwitch.uncommittedDialog.title":"ブランチを切り替えるには変更をコミットしてください","composer.footer.branchSwitch.uncommittedSummaryPrefix":"未コミット：{fileCount, plural, other {# 個のファイル}}","composer.forkSlashCommand.description":"このスレッドをローカルまたは新しい Worktree にフォークします","composer.forkSlashCommand.option.local.description":"新しいローカルのスレッドで続行します","composer.forkSlashCommand.option.local.title":"ローカルにフォークする","composer.forkSlashCommand.option.worktree.description":"新しい Worktree で続行します","composer.forkSlashCommand.option.worktree.title":"新しい Worktree にフォークする","composer.forkSlashCommand.title":"フォーク","composer.ideContextIndicator":"IDE コンテキスト","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE のコンテキストを含める","composer.ideContextIndicator.tooltipToggle":"切り替え方法","composer.ideContextSlashCommand.disableDescription":"IDE コンテキストをオフにする","composer.ideContextSlashCommand.enableDescription":"IDE の現在の選択内容、開いているファイル、その他のコンテキストを含めます","composer.ideContextSlashCommand.title":"IDE コンテキスト","composer.imageInputsUnsupported":"このモデルは画像入力に対応していません。別のモデルをお試しください。","composer.imageUploadFailed":"画像をアップロードできませんでした","composer.includeIdeContextDropdown":"IDE コンテキストを含める","composer.includeIdeContextDropdown.ariaLabel":"IDE コンテキストを含める","composer.localCwdDropdown.addWorkspaceRoot":"新しいプロジェクトを追加","composer.localCwdDropdown.noActiveRoot":"新しいプロジェクトを選択","composer.localCwdDropdown.noResults":"フォルダーが見つかりません","composer.localCwdDropdown.title":"新しいプロジェクトを選択","composer.localTaskError":"会話を開始する際にエラーが発生しました","composer.mcpSlashCommand.description":"MCP サーバーのステータスを表示します","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"未認証","composer.mcpStatus.authOauth":"認証済み（OAuth）","composer.mcpStatus.authToken":"認証済み（API キー）","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"閉じる","composer.mcpStatus.disabled":"無効","composer.mcpStatus.emptyLabel":"サーバー：","composer.mcpStatus.emptyValue":"MCP サーバーが設定されていません","composer.mcpStatus.enabled":"有効","composer.mcpStatus.errorLabel":"ステータス","composer.mcpStatus.errorValue":"MCP ステータスを読み込めません","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"エージェント","composer.mode.agentMode.auto.dropdownLabel":"エージェント","composer.mode.agentMode.auto.optionLabel":"エージェント","composer.mode.agentMode.changePermission":"モードを切り替える","composer.mode.agentMode.custom":"カスタム","composer.mode.agentMode.custom.dropdownLabel":"カスタム","composer.mode.agentMode.custom.option":"カスタム（config.toml）","composer.mode.agentMode.custom.optionLabel":"カスタム（config.toml）","composer.mode.agentMode.customInfo.cancel":"キャンセルする","composer.mode.agentMode.customInfo.cli":"これらの設定は CLI から調整することも、またはファイルを直接編集して調整することも可能です。","composer.mode.agentMode.customInfo.confirm":"カスタムモードを使用する","composer.mode.agentMode.customInfo.description":"カスタムモードには、<link>config.toml ファイルで定義されている承認とサンドボックス ポリシーが</link>適用されます。","composer.mode.agentMode.customInfo.docs":"承認の設定とサンドボックスポリシーの詳細については、<link>実行環境に関するドキュメントをご覧ください</link>。","composer.mode.agentMode.customInfo.refresh":"変更内容は、次回エージェントが実行された際に反映されます。","composer.mode.agentMode.customInfo.title":"カスタムモードの仕組み","composer.mode.agentMode.fullAccess":"エージェント（フルアクセス）","composer.mode.agentMode.fullAccess.dropdownLabel":"エージェント（フルアクセス）","composer.mode.agentMode.fullAccess.optionLabel":"エージェント（フルアクセス）","composer.mode.agentMode.fullAccessConfirm.caution":"フルアクセスを有効にする際には注意が必要です。データの損失や漏洩、予期しない動作が発生するリスクが大幅に増加します。","composer.mode.agentMode.fullAccessConfirm.confirm":"はい、それでも続行する","composer.mode.agentMode.fullAccessConfirm.description":"Codex をフルアクセスで実行すると、ユーザーの承認なしで、コンピューター上のあらゆるファイルを編集し、ネットワークを使用してコマンドを実行できます。","composer.mode.agentMode.fullAccessConfirm.goBack":"キャンセルする","composer.mode.agentMode.fullAccessConfirm.title":"フルアクセスを有効にしますか？","composer.mode.agentMode.readOnly":"チャット","composer.mode.agentMode.readOnly.dropdownLabel":"チャット","composer.mode.agentMode.readOnly.optionLabel":"チャット","composer.mode.agentMode.tooltip":"モードを切り替える","composer.mode.agentMode.tooltip.auto":"ファイルの読み取りと編集を行い、コマンドを実行します。","composer.mode.agentMode.tooltip.custom":"config.toml で定義された最新の承認とサンドボックスポリシーを使用します。","composer.mode.agentMode.tooltip.fullAccess":"Codex はこのプロジェクト外でファイルを編集したり、ネットワークへのアクセスが必要なコマンドを実行したりできます。使用時には注意が必要です。","composer.mode.agentMode.tooltip.readOnly":"ファイルの編集とコマンドの実行には承認が必要です。","composer.mode.cloud.tooltip":"クラウド環境で作業","composer.mode.contactAdmin":"アクセス回数を増やすには、管理者にお問い合わせください。","composer.mode.local":"ローカル環境","composer.mode.local.learnMore":"詳細はこちら","composer.mode.local.model.custom":"カスタム","composer.mode.local.model.loadingModel":"モデルを読み込む","composer.mode.local.model.selecrReasoningEffort":"推論を選択する","composer.mode.local.model.selectModel":"モデルを選択する","composer.mode.local.model.tooltip":"モデルを選択","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"高","composer.mode.local.reasoning.low.label":"低","composer.mode.local.reasoning.medium.label":"中","composer.mode.local.reasoning.minimal.label":"最小","composer.mode.local.reasoning.none.label":"なし","composer.mode.local.reasoning.xhigh.label":"非常に高い","composer.mode.localRemoteWhereRun":"タスクの実行場所を選択","composer.mode.newTask.header":"続行","composer.mode.rateLimit.day":"{days}日","composer.mode.rateLimit.heading":"残りのレート制限","composer.mode.rateLimit.hour":"{hours}時間","composer.mode.rateLimit.minute":"{minutes}分","composer.mode.rateLimit.modelSectionLabel":"{modelName} の制限：","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {週あたりの上限：{weeks}}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {週あたり：{weeks}}}","composer.mode.remote.connectToCloud":"Codex ウェブを接続する","composer.mode.remote.connectToCloudDisabledTooltip":"Codex を使用して環境を設定すると、クラウドにタスクを送信できます。","composer.mode.remote.selectEnvironment":"環境を選択","composer.mode.remote.sendToCloud":"クラウドに送信する","composer.mode.remote.setupViaWeb":"Codex ウェブで環境を設定する","composer.mode.runInCloud":"クラウド","composer.mode.runInCloudWithEnvironment":"クラウド · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"クラウド環境で作業","composer.mode.segmentedToggle.local.tooltip":"ローカル プロジェクトで作業","composer.mode.segmentedToggle.worktree.tooltip":"並列 Worktree で作業","composer.mode.upgradeToPlus":"Plus にアップグレードする","composer.mode.upgradeToPro":"Pro にアップグレードする","composer.mode.workLocally":"ローカル プロジェクト","composer.mode.workLocally.currentBranchFallback":"ブランチ","composer.mode.workLocally.tooltip":"{branchName} で実行","composer.mode.worktree":"新しい Worktree","composer.mode.worktree.submoduleWarning":"このリポジトリには git サブモジュールがあります。Worktree の作成が失敗する可能性があります","composer.mode.worktree.tooltip":"並行して作業するためのローカル プロジェクトのコピーを作成","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"会話の途中でモデルを変更すると、パフォーマンスが低下します。","composer.newChat.heading.browser":"次は何をコーディングしましょうか？","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex は、config.toml で定義された権限を使用します。","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex は、このコンピューターへのフルアクセス権を持っています（リスクが上昇）","composer.permissionsDropdown.custom.label":"カスタム（config.toml）","composer.permissionsDropdown.custom.optionLabel":"カスタム（config.toml）","composer.permissionsDropdown.default.label":"デフォルト権限","composer.permissionsDropdown.default.optionLabel":"デフォルト権限","composer.permissionsDropdown.default.tooltip":"Codex は自動的にサンドボックス内でコマンドを実行します","composer.permissionsDropdown.disabled.requirements":"権限は requirements.toml によってロックされています。","composer.permissionsDropdown.fullAccess.disabled":"完全アクセスは要件によって無効になっています。","composer.permissionsDropdown.fullAccess.label":"フルアクセス","composer.permissionsDropdown.fullAccess.optionLabel":"フルアクセス","composer.permissionsDropdown.trigger.tooltip":"権限を変更する","composer.personalitySlashCommand.description.friendly":"温かく、協力的で親切","composer.personalitySlashCommand.description.pragmatic":"簡潔、タスク重視、率直","composer.personalitySlashCommand.label.friendly":"フレンドリー","composer.personalitySlashCommand.label.pragmatic":"実用的","composer.personalitySlashCommand.notApplicableSuffix":"（現在のモデルには適用されません）","composer.personalitySlashCommand.title":"性格","composer.placeholder.cloudFollowUp.directFollowUp":"このクラウドタスクへのフォローアップ","composer.placeholder.cloudFollowUp.local":"このクラウドタスクを参照する新しいローカルタスクを作成","composer.placeholder.cloudFollowUp.workingTree":"現在のコードを含み、このタスクを参照する新しいクラウドタスクを作成","composer.placeholder.localFollowUp.cloud":"新しいクラウドタスクでフォローアップ","composer.placeholder.localFollowUp.locally":"フォローアップの変更を求める","composer.placeholder.newTask.cloud":"クラウドでCodex に何でも依頼してください","composer.placeholder.newTask.doAnything":"Codex に何でも依頼してください","composer.placeholder.newTask.locally":"Codex に質問してみましょう。ファイルを追加するには @、コマンドには / を使用します","composer.planModeDropdown":"プランモード","composer.planModeDropdown.ariaLabel":"プランモード","composer.planModeIndicator":"プラン","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex でプランを作成する","composer.planModeIndicator.tooltipToggle":"切り替え方法","composer.planSlashCommand.disableDescription":"プランモードをオフにする","composer.planSlashCommand.enableDescription":"プランモードをオンにする","composer.planSlashCommand.title":"プランモード","composer.priorContext.label":"以前のコンテキスト","composer.priorContext.removeAriaLabel":"以前のコンテキストを削除する","composer.queuedMessage.delete":"キューに登録されたメッセージを削除する","composer.queuedMessage.edit":"メッセージを編集する","composer.queuedMessage.more":"キューに登録されたメッセージ アクション","composer.queuedMessage.sendNow":"ステア","composer.queuedMessage.sendNowTooltip":"作業を中断することなく、今すぐ送信する","composer.queuedMessage.turnOff":"キューをオフにする","composer.reasoningEffort.local.reasoning.tooltip":"推論の労力を選択する","composer.remote.branchStartingPoint":"このタスクはどのブランチから開始しますか？","composer.remote.branchesSectionHeading":"ブランチ","composer.remote.currentEditsSuffix.followUp":"このクラウドタスクを参照する新しいタスクを作成します。","composer.remote.currentEditsSuffix.useLocal":"（ローカル環境でのコード変更を含む）","composer.remote.directFollowUp":"ローカル環境での変更を使用しない","composer.remote.errorLoadingBranches":"ブランチの読み込み中にエラーが発生しました","composer.remote.fromBranch":"{branch} から","composer.remote.fromCurrentBranch":"{branch} (現在) から","composer.remote.loadingMoreBranches":"読み込んでいます...","composer.remote.localFileStateHeading":"ローカル ファイルの状態","composer.remote.localWorkingTree":"ローカル環境での変更を使用する","composer.remote.startingPoint":"このタスクはどのコードから開始しますか？","composer.reviewMode.branches.error":"ブランチを読み込めません","composer.reviewMode.branches.retry":"もう一度実行する","composer.reviewMode.gitRoot.error":"Git のルートが見つかりません","composer.reviewMode.option.baseBranch.simple":"ベースブランチを基準にレビュー","composer.reviewMode.option.unstaged.simple":"未コミットの変更をレビュー","composer.reviewMode.quickReviewError":"コードレビューを開始できませんでした。","composer.reviewMode.title":"コードレビュー","composer.sandboxButton.unlock.disabled.tooltip":"完全アクセスは要件によって無効になっています。","composer.sandboxButton.windowsSandboxDialog.content":"Codex では、Windows の実験的なサンドボックスを使用してファイルシステムおよびネットワークへのアクセスを制限します。{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows サンドボックスを有効にしますか？","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"読み取り専用を使用する","composer.searchEnvironments":"環境を検索する","composer.skillMentionList.app":"アプリ","composer.skillMentionList.loading":"スキルを読み込んでいます…","composer.skillMentionList.noResults":"スキルが見つかりません","composer.slashCommands.cloudEnvironment.title":"クラウド環境","composer.slashCommands.dialogLabel":"スラッシュコマンドのメニュー","composer.slashCommands.dialogTitle":"スラッシュコマンド","composer.slashCommands.disabledTooltip":"スラッシュコマンドを使用するには、新しい会話を開始してください","composer.slashCommands.inputPlaceholder":"検索する","composer.slashCommands.noResults":"コマンドがありません","composer.slashCommands.skillsGroup":"スキル","composer.slashCommands.tooltip":"スラッシュコマンドを参照する","composer.status.close":"閉じる","composer.statusPlain.alertLabel":"アラート：","composer.statusPlain.alertValue":"{window}の残り：{remaining}%","composer.statusPlain.contextLabel":"コンテキスト：","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({total}中 {used}を使用)","composer.statusPlain.contextValueRemaining":"残り{remaining}%","composer.statusPlain.heading":"ステータス","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} の制限：","composer.statusPlain.rateLimitDays":"1日あたりの制限：{count}","composer.statusPlain.rateLimitFallbackLabel":"レート制限：","composer.statusPlain.rateLimitHours":"1時間あたりの制限：{count}","composer.statusPlain.rateLimitLabelBase":"レート制限","composer.statusPlain.rateLimitMinutes":"1分あたりの制限：{count}","composer.statusPlain.rateLimitPercent":"残り{remaining}%","composer.statusPlain.rateLimitReset":"リセット：{time}","composer.statusPlain.rateLimitResetMetadata":"（{phrase}）","composer.statusPlain.rateLimitResetUnknown":"リセット時間が不明です","composer.statusPlain.rateLimitUnavailable":"取得できません","composer.statusPlain.sessionCopiedAriaLabel":"コピーされたセッション ID","composer.statusPlain.sessionCopiedTooltip":"ID をコピーしました","composer.statusPlain.sessionCopyAriaLabel":"セッション ID をコピー","composer.statusPlain.sessionCopyTooltip":"ID をコピー","composer.statusPlain.sessionLabel":"セッション：","composer.statusSlashCommand.description":"スレッド ID、コンテキストの使用状況、レート制限を表示します","composer.statusSlashCommand.title":"ステータス","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"メッセージを送信できませんでした","composer.submit.emptyMessage":"開始するには、メッセージを入力してください","composer.submit.imageInputsUnsupported":"このメッセージを送信するには、画像を削除するか、モデルを切り替えてください。","composer.submit.loadingLocalConfig":"読み込んでいます...","composer.submit.missingCloudConfig":"クラウド環境を選択する必要があります","composer.submit.missingCloudTurn":"このタスクのフォローアップができません","composer.submit.noWorkspace":"Codex を使用するにはプロジェクトを追加してください","composer.submit.waitForImageUploads":"画像をアップロードしています…","composer.submitButtonTooltip.send":"送信する","composer.submitButtonTooltip.stop":"停止","composer.worktreeEnvironment.create":"ローカル環境を作成する","composer.worktreeEnvironment.default":"デフォルトの環境","composer.worktreeEnvironment.error":"環境の読み込み中にエラーが発生しました","composer.worktreeEnvironment.loading":"環境を読み込んでいます…","composer.worktreeEnvironment.title":"ローカル環境","composer.worktreeEnvironment.tooltip":"ローカル環境を選択する","composer.worktreeSetupFailed":"Worktree をセットアップできませんでした。セットアップ スクリプトについて、.codex/environments を確認してください。","compoundButton.secondaryAction":"セカンダリ アクション","copyButton.copied":"コピーしました","copyButton.copiedAriaLabel":"コピーしました","copyButton.copy":"コピーする","copyButton.copyAriaLabel":"コピーする","copyButton.copyCode":"コードをコピーする","diff.actionButton.revertFile":"ファイルを戻す","diff.actionButton.revertHunk":"戻す","diff.actionButton.revertSection":"すべてを戻す","diff.actionButton.revertSectionLabel":"すべてを戻す","diff.actionButton.stageFile":"ファイルをステージする","diff.actionButton.stageHunk":"ステージ","diff.actionButton.stageSection":"すべてをステージする","diff.actionButton.stageSectionLabel":"すべてをステージする","diff.actionButton.unstageFile":"ファイルのステージングを解除する","diff.actionButton.unstageHunk":"ステージングを解除する","diff.actionButton.unstageSection":"すべてのステージングを解除する","diff.actionButton.unstageSectionLabel":"すべてのステージングを解除する","diff.fileHeader.toggle":"ファイルの差分を切り替える","electron.onboarding.login.apikey.cancel":"キャンセルする","electron.onboarding.login.apikey.continue":"続行","electron.onboarding.login.apikey.label":"OpenAI API キー","electron.onboarding.login.apikey.open":"API キーを入力","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"サインインをキャンセルする","electron.onboarding.login.chatgpt.continue":"ChatGPT で続行","electron.onboarding.login.devbox":"リモート SSH に接続する","electron.onboarding.login.error":"サインインできませんでした：{rawMessage}","electron.onboarding.login.snake.start":"Snake を再生","electron.onboarding.login.sshConfig.cancel":"キャンセルする","electron.onboarding.login.sshConfig.continue":"続行","electron.onboarding.login.sshConfig.hostnameLabel":"SSH ホスト名","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"エージェントを使用した最適な構築方法","electron.onboarding.login.title":"Codex へようこそ","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"続行","electron.onboarding.welcome.doubleLimits.description":"Codex アプリのリリース記念として、4 月 2 日までレート制限が 2 倍になります。","electron.onboarding.welcome.freego.description":"お使いのプランで 3 月 2 日まで Codex を無料でご利用いただけます。一緒に構築を始めましょう。","electron.onboarding.welcome.new.title.anon":"ようこそ！","electron.onboarding.workspace.continue":"続行","electron.onboarding.workspace.empty":"続行するには、プロジェクトを追加してください","electron.onboarding.workspace.listLabel":"利用可能なプロジェクト","electron.onboarding.workspace.loading":"プロジェクトを読み込んでいます…","electron.onboarding.workspace.openFolder":"プロジェクトを追加する","electron.onboarding.workspace.selectAll":"すべて選択","electron.onboarding.workspace.skip":"スキップする","electron.onboarding.workspace.skip.error":"新しいプロジェクトを作成できませんでした：{message}","electron.onboarding.workspace.skip.error.unknown":"不明なエラー","electron.onboarding.workspace.skipping":"新しいプロジェクトを作成しています…","electron.onboarding.workspace.subtitle":"Codex は選択したフォルダーでファイルを編集して、コマンドを実行できるようになります。","electron.onboarding.workspace.title":"プロジェクトを選択","errorPage.list.checkSettings":"IDE 設定を更新してみてください","errorPage.list.configToml":"無効な設定がないか、config.toml を確認してください","errorPage.list.downloadExtension":"拡張機能の別のバージョンをダウンロードしてみてください","errorPage.list.runInWsl":"互換性の問題がある場合は、設定を確認して WSL での実行を無効にしてください","execApprovalRequest.menu.runAlways":"はい、このセッションでは今後尋ねないでください","execApprovalRequest.menu.runAlwaysWithAmendment":"はい、先頭が {command} のコマンドについて今後尋ねないでください","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"はい、先頭が次で始まるコマンドについて今後尋ねないでください","execApprovalRequest.menu.runOnce":"はい","execApprovalRequest.prompt":"このコマンドを実行しますか？","execApprovalRequest.reject":"いいえ","execFooter.exitCode":"コード {code}を終了する","execFooter.exitCode.unknown":"不明","execFooter.success":"成功","feedback.dialog.category.badResult":"悪い結果","feedback.dialog.category.bug":"バグ","feedback.dialog.category.goodResult":"良い結果","feedback.dialog.category.other":"その他","feedback.dialog.descriptionPlaceholder":"問題についてこちらで説明してください","feedback.dialog.dismiss":"閉じる","feedback.dialog.includeLogsLabel":"現在の Codex セッションログを含める","feedback.dialog.submit":"送信する","feedback.dialog.submitError":"フィードバックを送信できませんでした。しばらくしてからもう一度お試しください。","feedback.dialog.title":"フィードバック","feedback.dialog.uploadedMessage.existingIssue":"未解決の既存の問題","feedback.dialog.uploadedMessage.openIssue":"GitHub issue を開く","feedback.dialog.uploadedMessage.withThread":"フィードバックがアップロードされました。問題が解決しない場合、{openIssueLink}か、{existingIssueLink} にスレッド ID を入力してください。","feedback.dialog.uploadedTitle":"フィードバックがアップロードされました","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} を削除する","header.back":"前へ","header.recentChats":"タスク","header.recentTasks.seeAll":"すべて表示（合計{total}件）","home.header.getPlus":"Plus をはじめる","home.hero.letsBuild":"始めましょう","homePage.mainContent":"主要なコンテンツ","imageAttachment.defaultName":"画像","imageAttachment.preview.close":"画像のプレビューを閉じる","imageAttachment.removeAriaLabel":"{filename} を削除する","implementPlanRequest.option.implement":"はい、このプランを実施します","implementPlanRequest.prompt":"このプランを実施しますか？","inbox.archived.deleteError":"アーカイブ済みの実行を削除できませんでした","inbox.archived.deleteRun":"アーカイブ済みの実行を削除","inbox.archived.deleteSuccess":"アーカイブ済みのスレッドを削除しました。<settingsLink>アーカイブ済みのスレッド</settingsLink>でご覧ください。","inbox.archived.inlineLabel.auto":"このスレッドは自動的にアーカイブされました。<learnMoreLink>詳細はこちら</learnMoreLink>","inbox.archived.inlineLabel.manual":"このスレッドはアーカイブされました。","inbox.archived.noMessageFound":"メッセージはありません","inbox.automations.createError":"自動化を作成できませんでした","inbox.automations.deleteConfirm.cancel":"キャンセルする","inbox.automations.deleteConfirm.confirm":"自動化を削除する","inbox.automations.deleteConfirm.description":"自動化が完全に削除され、今後の実行がすべて停止されます。","inbox.automations.deleteConfirm.title":"{name}を削除しますか？","inbox.automations.deleteError":"自動化を削除できませんでした","inbox.automations.editTooltip":"自動化を編集する","inbox.automations.inProgress":"進行中","inbox.automations.new":"新規","inbox.automations.newToolbar":"新規自動化","inbox.automations.pauseTooltip":"自動化を一時停止する","inbox.automations.resumeTooltip":"自動化を再開する","inbox.automations.startingNow":"すぐに開始します","inbox.automations.startsIn":"{startTime}に開始します","inbox.automations.status.active":"アクティブ","inbox.automations.status.paused":"一時停止済み","inbox.automations.status.runs":"{count}回実行","inbox.automations.status.started":"開始：{date}","inbox.automations.updateError":"自動化を更新できませんでした","inbox.automations.workspaceFallback":"-","inbox.filter.all":"すべて","inbox.filter.ariaLabel":"受信トレイの項目をフィルタリングする","inbox.filter.unread":"未読","inbox.list.archived":"アーカイブ済み","inbox.list.inProgress":"進行中","inbox.list.recent":"完了","inbox.list.upNext":"スケジュール済み","inbox.mode.automations":"オートメーション","inbox.mode.automations.beta":"ベータ版","inbox.noDescription":"説明は提供されていません","inbox.openThread":"スレッドを開く","inbox.rightPanel.emptySubtitle":"スケジュールされたタスクを設定して作業を自動化する","inbox.rightPanel.emptySubtitle.learnMore":"スケジュールされたスレッドを設定して作業を自動化する。 <link>詳細はこちら</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {#件の有効な自動化}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"未読の自動化はありません","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {#件の未読の自動化}}","inbox.rightPanel.emptyTitle":"項目が選択されていません","inbox.rightPanel.noThread":"この項目のスレッドはありません","inbox.rightPanel.quickStart.header":"テンプレートを使って開始する","inbox.untitled":"無題の受信トレイ項目","loadingPage.documentationLink":"ドキュメント","loadingPage.errorDescription":"Codex が以下のエラーによって停止しました：","loadingPage.errorDescription.documentation":"Codex の拡張機能を再開するには、再読み込みをクリックしてください。追加のサポートが必要な場合は、{documentationLink}をご覧ください。","loadingPage.errorSignal":"試せること：","loadingPage.errorTitle":"エラーが発生しました","loadingPage.openConfigToml":"config.toml を開く","loadingPage.reload":"再読み込み","localConversation.contextCompacted":"コンテキストは自動的に圧縮されました","localConversation.contextCompacting":"コンテキストを自動的に圧縮しています","localConversation.forkedFromConversation":"{threadTitle} からフォーク","localConversation.merge.autoResolve.failed":"自動解決をリクエストできませんでした：{error}","localConversation.merge.autoResolve.sent":"自動解決リクエストが送信されました","localConversation.merge.autoResolveMerge.missingConversation":"アクティブな会話がないと自動解決できません","localConversation.merge.autoResolveMerge.request":"マージの競合を自動解決する","localConversation.modelChanged":"モデルが {fromModel} から {toModel} に変更されました。","localConversation.modelChanged.warning.line1":"会話の途中でモデルを変更すると、パフォーマンスが低下します。","localConversation.modelChanged.warning.line2":"コンテキストは自動的に圧縮される場合があります。","localConversation.moveThread.createBranch.label":"ブランチを作成する","localConversation.moveToLocal.disabled.loading":"読み込んでいます...","localConversation.moveToLocal.modal.continue":"続行する","localConversation.moveToLocal.modal.destinationLabel":"移動先","localConversation.moveToLocal.modal.retry":"もう一度実行する","localConversation.moveToWorktree.modal.back":"戻る","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ブランチはすでに存在します。","localConversation.moveToWorktree.modal.branchesError":"ブランチを読み込めません","localConversation.moveToWorktree.modal.branchesLoading":"ブランチを読み込んでいます…","localConversation.moveToWorktree.modal.branchesRetry":"もう一度実行する","localConversation.moveToWorktree.modal.continue":"続行する","localConversation.moveToWorktree.modal.retry":"もう一度実行する","localConversation.moveToWorktree.modal.trailingSlashError":"ブランチ名は「/」で終わることはできません","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"新しいブランチ","localConversation.personalityChanged":"{personality}の性格に切り替えました","localConversation.planSummary.collapse":"プランのサマリーを折りたたむ","localConversation.planSummary.collapseTooltip":"折りたたむ","localConversation.planSummary.download":"プランをダウンロードする","localConversation.planSummary.expand":"プランのサマリーを展開する","localConversation.planSummary.expandTooltip":"広げる","localConversation.planSummary.openInNewWindow":"開く","localConversation.planSummary.openInNewWindow.tooltip":"新しいウィンドウで開く","localConversation.planSummary.title":"プラン","localConversation.planSummary.titleWriting":"プランを作成中","localConversation.planSummary.viewPlan":"プランを展開する","localConversation.remoteTaskCreated":"Codex Cloud で {taskLink} が作成されました","localConversation.remoteTaskCreated.task":"タスク","localConversation.scrollToBottomButton":"一番下までスクロールする","localConversation.sync.buttonLabel":"ローカルに引き継ぐ","localConversation.sync.buttonLabel.tooltip":"この Worktree とローカル チェックアウトの間で変更を受け渡します。","localConversation.sync.modal.loading.title":"変更を引き継いでいます…","localConversation.sync.modal.noChanges":"変更なし","localConversation.syncSetup.branchAriaLabel":"ブランチ名","localConversation.syncSetup.branchName":"ブランチ名","localConversation.syncSetup.branchPlaceholder.existing":"既存のブランチを選択","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ブランチを読み込んでいます…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"すでにチェックアウト済みです","localConversation.syncSetup.checkoutClean":"現在 {branchName} にいます","localConversation.syncSetup.checkoutDirty":"あなたが現在いる {branchName} には、未コミットの変更があります","localConversation.syncSetup.checkoutError":"ブランチをチェックアウトできませんでした：{message}","localConversation.syncSetup.checkoutLabel":"今すぐローカルにチェックアウト","localConversation.syncSetup.checkoutOnLocal":"ローカルに引き継ぐ","localConversation.syncSetup.checkoutPending":"ローカル ステータスを確認しています…","localConversation.syncSetup.checkoutUnavailable":"ローカル ワークスペースを利用できません","localConversation.syncSetup.checkoutUnknown":"ローカル ブランチを利用できません","localConversation.syncSetup.continue":"続行","localConversation.syncSetup.createBranchError":"引き継ぎブランチを設定できませんでした：{message}","localConversation.syncSetup.error":"問題が発生しました：{message}","localConversation.syncSetup.error.workingTreeMissing":"Worktree をスナップショットできませんでした。引き継ぎを再試行してください。","localConversation.syncSetup.mode.ariaLabel":"ブランチモードを選択","localConversation.syncSetup.mode.existing":"既存のブランチ","localConversation.syncSetup.mode.new":"新しいブランチ","localConversation.syncSetup.noBranches":"ブランチが見つかりません","localConversation.syncSetup.overwriteError":"ブランチは作成されましたが、完全には引き継がれていません。手動で引き継いでから、ローカルでチェックアウトしてください。","localConversation.syncSetup.setPrefix":"設定されたプレフィックス","localConversation.syncSetup.subtitle":"ローカルで Worktree の変更をテスト・編集する。<a>詳細はこちら</a>","localConversation.syncSetup.success.checkedOut":"ブランチはローカルで作成され、チェックアウトされました","localConversation.syncSetup.success.notCheckedOut":"ブランチが作成されました","localConversation.syncSetup.title":"ローカル ブランチに引き継ぐ","localConversation.syncWorktreeError.branchAriaLabel":"ブランチ名","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"引き継ぐブランチを選択してから、変更の読み込みを再試行してください。","localConversation.syncWorktreeError.branchSetup.title":"ブランチを更新する","localConversation.syncWorktreeError.branchUpdate.cta":"更新して再試行する","localConversation.syncWorktreeError.branchUpdate.error":"ブランチを更新できませんでした：{message}","localConversation.syncWorktreeError.branchUpdate.unknown":"問題が発生しました：{message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ブランチはどの Worktree でもチェックアウトされていません。","localConversation.syncWorktreeV2.applyUncommitted":"適用する","localConversation.syncWorktreeV2.applyUncommitted.disabled":"未コミットの変更を適用するには、ブランチをローカルでチェックアウトする必要があります。","localConversation.syncWorktreeV2.branches.empty":"ブランチが見つかりません","localConversation.syncWorktreeV2.branches.loading":"ブランチを読み込んでいます…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"引き継ぎブランチを変更する","localConversation.syncWorktreeV2.changeBranch.error":"引き継ぎブランチを変更できませんでした：{message}","localConversation.syncWorktreeV2.commandError.action.apply":"適用できませんでした","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Worktree を上書きできませんでした","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ローカルを上書きできませんでした","localConversation.syncWorktreeV2.commandError.back":"前へ","localConversation.syncWorktreeV2.commandError.body":"引き継ぎ中に Git コマンドが失敗しました。出力を確認し、再試行してください。","localConversation.syncWorktreeV2.commandError.retry":"もう一度実行する","localConversation.syncWorktreeV2.description":"ローカルとこの Worktree の間で変更を引き継ぎます。<a>詳細はこちら</a>。","localConversation.syncWorktreeV2.direction.ariaLabel":"引き継ぎの方向を選択する","localConversation.syncWorktreeV2.error.generic":"引き継ぎ中に問題が発生しました。もう一度お試しください。","localConversation.syncWorktreeV2.localBranchLabel":"ローカル環境","localConversation.syncWorktreeV2.noChanges":"変更を計算しています","localConversation.syncWorktreeV2.noChanges.summary":"変更なし","localConversation.syncWorktreeV2.overwrite.local":"ローカルを上書きする","localConversation.syncWorktreeV2.overwrite.worktree":"Worktree を上書きする","localConversation.syncWorktreeV2.partial.action.applyFailed":"変更を適用できませんでした","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ローカルの変更を上書きできませんでした","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Worktree の変更を上書きできませんでした","localConversation.syncWorktreeV2.partial.appliedLabel":"適用済み","localConversation.syncWorktreeV2.partial.back":"前へ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"競合を解決してから、もう一度お試しください。","localConversation.syncWorktreeV2.partial.conflictsLabel":"競合","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# 個のファイル}}","localConversation.syncWorktreeV2.partial.retry":"もう一度実行する","localConversation.syncWorktreeV2.partial.skippedLabel":"スキップ済み","localConversation.syncWorktreeV2.stateFailed.generic":"引き継ぐための Worktree 変更を取得中に問題が発生しました。もう一度お試しください。","localConversation.syncWorktreeV2.stateFailed.title":"Worktree の変更を読み込めませんできませんでした","localConversation.syncWorktreeV2.statusError.diffUnknown":"Worktree の変更を読み込めませんでした。","localConversation.syncWorktreeV2.statusError.retry":"もう一度実行する","localConversation.syncWorktreeV2.statusError.title":"ローカルのブランチの変更を読み込めません","localConversation.syncWorktreeV2.statusError.unknown":"ブランチのステータスは現在利用できません。もう一度お試しください。","localConversation.syncWorktreeV2.success.apply":"変更が適用されました","localConversation.syncWorktreeV2.success.overwrite":"引き継ぎが完了しました","localConversation.syncWorktreeV2.title":"引き継ぎの変更","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"{count, plural, other {質問}}をしています","localConversation.userInputRequest.noAnswer":"回答が提供されていません","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"質問済み：","localConversation.userInputRequest.summary.count":"{count, plural, other {# 件の質問}}","localConversation.workedFor":"{time}作業しました","localConversation.worktreeBranchSetup.action.create":"作成する","localConversation.worktreeBranchSetup.branchAriaLabel":"ブランチ名","localConversation.worktreeBranchSetup.branchPlaceholder.new":"新しいブランチを作成する","localConversation.worktreeBranchSetup.checkoutDisabled":"このブランチは {location} ですでにチェックアウトされています","localConversation.worktreeBranchSetup.checkoutError":"ブランチをチェックアウトできませんでした：{message}","localConversation.worktreeBranchSetup.createBranchError":"ブランチを設定できませんでした：{message}","localConversation.worktreeBranchSetup.error":"問題が発生しました：{message}","localConversation.worktreeBranchSetup.subtitle":"この Worktree から、変更をコミットするためのブランチを作成し、プッシュし、PR を作成してください。<a>詳細はこちら</a>。","localConversation.worktreeBranchSetup.title":"こちらから作業してください","localConversationPage.addWorktreeToSidebar.tooltip":"プロジェクトとして保存することで、このワークツリーから新しいスレッドを開始できます","localConversationPage.addWorktreeToSidebarError":"プロジェクトを追加できませんでした","localConversationPage.commitAndCreatePrModal.errorTitle":"コミットと PR の作成が失敗しました","localConversationPage.commitAndCreatePrModal.successTitle":"コミットして PR を作成しました","localConversationPage.commitAndPushModal.errorTitle":"コミットとプッシュが失敗しました","localConversationPage.commitAndPushModal.successTitle":"コミットして変更をプッシュしました","localConversationPage.commitCreatePr.open":"プルリクエストを開く","localConversationPage.commitCreatePr.successTitle":"最新の変更で PR を作成しました","localConversationPage.createBranchButtonLabel":"ここにブランチを作成する","localConversationPage.createPrModal.baseBranch":"ベース","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR を作成する","localConversationPage.createPrModal.createDescription":"最新の変更のプル リクエストをオープンします。","localConversationPage.createPrModal.errorTitle":"プル リクエストが失敗しました","localConversationPage.createPrModal.headBranch":"ヘッド","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR を開く","localConversationPage.createPrModal.successTitle":"プル リクエストが作成されました","localConversationPage.createPrModal.title":"プル リクエストを作成する","localConversationPage.createPrModal.viewDescription":"このブンラチにはプル リクエストが既に存在します。","localConversationPage.createPrModal.viewTitle":"プル リクエストの準備ができました","localConversationPage.createPullRequestAuthGh":"GitHub CLI の認証：`gh auth login` を実行してください","localConversationPage.createPullRequestBranchMissing":"ブランチ情報を利用できません","localConversationPage.createPullRequestButtonLabel":"PR を作成する","localConversationPage.createPullRequestButtonLabel.loading":"PR を作成しています...","localConversationPage.createPullRequestDefaultBranchMissing":"デフォルトブランチに関する情報は利用できません","localConversationPage.createPullRequestError":"プル リクエストを作成できませんでした","localConversationPage.createPullRequestExistingPullRequest":"このブンラチにはプル リクエストが既に存在します","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI ステータスを読み込んでいます…","localConversationPage.createPullRequestInstallGh":"プル リクエストを作成するには、GitHub CLI (gh) をインストールしてください","localConversationPage.createPullRequestNoRepo":"Git リポジトリが見つかりません","localConversationPage.createPullRequestPushStatusMissing":"プッシュステータスを読み込んでいます...","localConversationPage.createPullRequestSetUpstream":"このブランチをプッシュしてから、プル リクエストを作成してください","localConversationPage.createPullRequestSuccessToast":"プル リクエストが作成されました","localConversationPage.createPullRequestSwitchBranch":"フィーチャー ブランチをチェックアウトしてから、プル リクエストを作成してください","localConversationPage.error.render":"ローカル環境の会話を表示する際にエラーが発生しました","localConversationPage.error.toast":"会話が見つかりません","localConversationPage.forcePushError":"プッシュを強制できませんでした","localConversationPage.generatePullRequestMessageError":"プル リクエストのタイトルと本文を作成できませんでした","localConversationPage.generatePullRequestMessageFailed":"プル リクエストのタイトルと本文を作成できませんでした。","localConversationPage.gitActionResult.branch":"ブランチ","localConversationPage.gitActionResult.cancel":"キャンセルする","localConversationPage.gitActionResult.close":"閉じる","localConversationPage.gitActionResult.tryAgain":"もう一度試す","localConversationPage.gitActions":"Git アクション","localConversationPage.newChat":"新しいチャット","localConversationPage.openInTarget":"開く場所","localConversationPage.openPrimaryTarget":"開く","localConversationPage.planItemsCompleted":"{completedItems}/{totalItems, plural, other {#件のタスクが完了しました}}","localConversationPage.pushAuthError":"プッシュが失敗しました：認証が必要です","localConversationPage.pushBranchMissing":"ブランチ情報を利用できません","localConversationPage.pushButtonLabel":"プッシュ","localConversationPage.pushButtonLabel.loading":"プッシュしています...","localConversationPage.pushError":"変更をプッシュできませんでした","localConversationPage.pushModal.branchLabel":"ブランチ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"キャンセルする","localConversationPage.pushModal.confirm":"プッシュ通知","localConversationPage.pushModal.description":"最新のコミットをリモートリポジトリにプッシュします。","localConversationPage.pushModal.errorTitle":"プッシュが失敗しました","localConversationPage.pushModal.forcePush":"プッシュを強制","localConversationPage.pushModal.successTitle":"プッシュが完了しました","localConversationPage.pushModal.title":"変更をプッシュする","localConversationPage.pushModal.tryAgain":"もう一度試す","localConversationPage.pushNoUpstream":"アップストリームを設定してから、このブランチをプッシュしてください","localConversationPage.pushNoUpstreamError":"プッシュが失敗しました：アップストリームが構成されていません","localConversationPage.pushNothingToPush":"プッシュする新しいコミットはありません","localConversationPage.pushRemoteChangedError":"プッシュが失敗しました：リモートに新しいコミットがあります","localConversationPage.pushRemoteRejectedError":"リモート側がプッシュを拒否しました","localConversationPage.pushStatusMissing":"プッシュステータスを読み込んでいます...","localConversationPage.pushSuccessToast":"変更をプッシュしました","localConversationPage.viewPullRequestButtonLabel":"PR を表示する","localConversationPage.viewPullRequestButtonLabel.loading":"プル リクエストを読み込んでいます...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# 個のファイル}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# 件のリスト}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# 件の検索}}</countText>","localConversationTurn.exploration.accordion.count.separator":"、","localConversationTurn.exploration.accordion.header.active":"調べています","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts} 件","localConversationTurn.exploration.accordion.header.complete":"調べました","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} 件を調べました","localConversationTurnStory.showContent":"コンテンツを表示する","localConversationTurnStory.streamContent":"コンテンツをストリーミングする","localConversationTurnStory.toggleReasoning":"推論を表示する","localTaskRow.archiveError":"会話のアーカイブに失敗しました","localTaskRow.resumeError":"タスクを再開できませんでした","mermaidDiagram.ariaLabel":"Mermaid ダイアグラム","mermaidDiagram.copySource":"Mermaid をコピーする","mermaidDiagram.originalCode":"Mermaid ソースコード","notifications.permissions.description":"通知権限が必要な場合にアラートを表示します","notifications.permissions.label":"権限の通知を有効にする","notifications.turnMode.always":"常時","notifications.turnMode.description":"Codex が完了したことを通知するタイミングを設定します","notifications.turnMode.label":"完了通知の切り替え","notifications.turnMode.off":"未実行","notifications.turnMode.unfocused":"フォーカスされていないときのみ","patchApprovalRequest.approve":"承認する","patchApprovalRequest.menu.allowAlways":"はい、このセッションでは今後尋ねないでください","patchApprovalRequest.menu.allowForSession":"はい、このセッションでは今後尋ねないでください","patchApprovalRequest.menu.allowOnce":"はい","patchApprovalRequest.prompt":"これらの変更を行いますか？","patchApprovalRequest.reject":"いいえ","patchApprovalRequest.waitingForApproval":"ファイルを編集するための承認を待っています","pendingRequest.approvalExec.collapse":"折りたたむ","pendingRequest.approvalExec.expand":"広げる","pendingRequestStory.toastAnswer":"回答：{answer}","pendingRequestStory.toastApprovalTitle":"承認の回答","pendingRequestStory.toastFollowupPrompt":"プロンプト：{prompt}","pendingRequestStory.toastFollowupTitle":"フォローアップを送信しました","pendingRequestStory.toastNoAnswers":"回答が提供されていません","pendingRequestStory.toastQuestion":"質問：{question}","pendingRequestStory.toastUnknownDecision":"不明","pendingRequestStory.toastUserInputTitle":"回答を送信しました","quickAction.request.codeReview.branches.new":"{from}から{to}への変更内容をレビューしてください","quickAction.request.codeReview.uncommitted.new":"未コミットの変更をレビューしてください","reasoningItem.thinking":"思考中","reasoningItem.thought":"思考完了","reasoningItem.thoughtWithElapsed":"思考時間：{elapsed}","recentConversations.title":"最近の会話","recentTasks.worktreeInitFailedTitle":"Worktree を初期化できませんでした","recentTasks.worktreeSettingUpTitle":"Worktree を設定中です","requestInputPanel.continue":"続行","requestInputPanel.dismiss":"閉じる","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ここに入力してください","requestInputPanel.optionIndex":"{index}。","requestInputPanel.otherPlaceholder":"いいえ、Codex に何をすべきかを別の方法で指示してください","requestInputPanel.selectedBadge":"選択中","requestInputPanel.skip":"スキップする","requestInputPanel.submit":"送信する","review.commit.ariaLabel.includeUnstaged":"ステージングされていないものを含める","review.commit.buttonLabel":"コミット","review.commit.disabled.committing":"コミットしています...","review.commit.disabled.loadingDiff":"差分を読み込んでいます…","review.commit.disabled.missingContext":"コミットメッセージを生成するにはコンテキストを追加してください","review.commit.disabled.noChanges":"コミットする変更はありません","review.commit.disabled.noSelection":"コミットする変更を選択してください","review.commit.disabled.unavailable":"コミットは現在利用できません","review.commit.error":"変更をコメントできませんでした","review.commit.form.changesToBeCommitted":"変更","review.commit.form.commitTo":"ブランチ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"続行","review.commit.form.title":"変更のコミット","review.commit.generate.emptyResponse":"コミットメッセージを生成できませんでした。","review.commit.generate.failed":"コミットメッセージを生成できませんでした：{error}","review.commit.generate.missingPrompt":"コミットメッセージを生成するにはコンテキストを追加してください。","review.commit.includeUnstaged":"ステージングされていないものを含める","review.commit.loading.description":"しばらく時間がかかる場合があります...","review.commit.loading.step.commit.done":"未コミットの変更","review.commit.loading.step.commit.pending":"変更をコミットしています","review.commit.loading.step.createPr.done":"プル リクエストが作成されました","review.commit.loading.step.createPr.pending":"プル リクエストを作成しています","review.commit.loading.step.push.done":"ブランチ {branch} にプッシュしました","review.commit.loading.step.push.pending":"ブランチ {branch} にプッシュしています","review.commit.loading.title.commit":"変更をコミットしています","review.commit.loading.title.createPr":"PR を作成しています","review.commit.loading.title.push":"変更をプッシュしています","review.commit.messageLabel":"コミットメッセージ","review.commit.messagePlaceholder":"空欄にすると、コミットメッセージが自動生成されます","review.commit.nextSteps":"次のステップ","review.commit.nextSteps.commit":"コミット","review.commit.nextSteps.commitAndCreate":"コミットと PR の作成","review.commit.nextSteps.commitAndPush":"コミットとプッシュ","review.commit.nextSteps.prRequiresGh":"次の GitHub CLI が必要です：{command}","review.commit.rows.changes":"変更","review.commit.rows.commitCount":"{count, plural, other {# 個のコミット}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# 件のコミット}}および{stats}","review.commit.rows.fileCount":"{count, plural, other {# 個のファイル}}","review.commit.state.error.body":"コミット中に問題が発生しました。git status を確認し、もう一度お試しください。","review.commit.state.error.title":"コミットが失敗しました","review.commit.state.success.title":"変更がコミットされました","review.commit.untracked.loadingStats":"追跡されていない差分統計を読み込み中...","reviewFindingAttachments.count":"{count, plural, other {# 件の検出結果}}","settings.agent.configuration.configToml":"config.toml ファイルで定義されている承認とサンドボックス ポリシーが","settings.agent.configuration.configToml.description":"エージェントの動作をカスタマイズするには、構成を編集してください","settings.agent.configuration.configToml.docs":"ドキュメント","settings.agent.configuration.configToml.restartNote":"変更を適用するための編集後に、Codex を再起動する","settings.agent.configuration.subtitle":"これらの設定は、Codex が使用されるすべての場所に適用されます","settings.automations.banner.danger":"自動化はデフォルトのサンドボックス設定に従って実行され、現時点ではフルアクセスに設定されています。フルアクセスの状態でバックグラウンド自動化を実行すると、Codex が確認なしにファイルを変更したり、コマンドを実行したり、ネットワークにアクセスしたりできるため、リスクが高まります。サンドボックス設定をワークスペース書き込みに変更し、<rulesDocsLink>ルール</rulesDocsLink>を使って、エージェントがフルアクセスで実行できるコマンドだけを選択的に許可することを検討してください。","settings.automations.banner.defaultHowTo.default":"自動化は、デフォルトのサンドボックス設定に従って実行されます。ワークスペース外でのファイルの修正やネットワークアクセス、コンピュータ上でのアプリ操作が必要な場合、ツール呼び出しは失敗します。<rulesDocsLink>ルール</rulesDocsLink>を使用すると、サンドボックス外で実行するコマンドを選択的に許可できます。","settings.automations.banner.defaultHowTo.readOnly":"自動化はデフォルトのサンドボックス設定に従って実行され、現時点では読み取り専用に設定されています。ファイルの修正やネットワークアクセス、コンピュータ上でのアプリ操作が必要な場合、ツール呼び出しは失敗します。サンドボックス設定をワークスペースへの書き込みに変更することを検討してください。","settings.automations.cancel":"キャンセル","settings.automations.create":"作成する","settings.automations.cwdEmpty":"使用可能なプロジェクトがありません","settings.automations.cwdLabel":"プロジェクト","settings.automations.cwdPlaceholder":"フォルダーを選択してください","settings.automations.cwdSubtitle":"自動化を特定のブランチで実行したい場合、プロンプトでそのブランチを指定できます。","settings.automations.delete":"削除する","settings.automations.dialog.editTitle":"自動化を編集する","settings.automations.dialog.newTitle":"新規自動化","settings.automations.dialog.subtitle":"バックグラウンドで継続的なタスクを自動化します。Codex は検出結果を受信トレイに追加するか、報告がない場合はタスクを自動的にアーカイブします。<learnMoreLink>詳細はこちら</learnMoreLink>","settings.automations.dialog.title":"自動化を作成する","settings.automations.executionCopy.git":"自動化は専用の Worktree を使用してバックグラウンドで実行されます。","settings.automations.executionCopy.nonGit":"バージョン管理されていないプロジェクトでの自動化は、プロジェクトのディレクトリで直接実行されます。バックグラウンドの Worktree での実行を有効にするには、Git の使用を検討してください。","settings.automations.executionEnvironment.local":"ローカル環境","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"読み込んでいます...","settings.automations.nameLabel":"名前","settings.automations.namePlaceholder":"Sentry の問題を確認","settings.automations.pause":"一時停止","settings.automations.promptLabel":"プロンプト","settings.automations.promptPlaceholder":"$Sentry 内のクラッシュを調べる","settings.automations.resume":"再開する","settings.automations.rruleSummaryFallback":"カスタム スケジュール","settings.automations.runNow":"テストする","settings.automations.save":"保存する","settings.automations.scheduleBadge.dayCount":"{count}日","settings.automations.scheduleBadge.interval":"{count}時間","settings.automations.scheduleBadge.weekdays":"平日","settings.automations.scheduleBadge.weekends":"週末","settings.automations.scheduleHeader":"スケジュール","settings.automations.scheduleHours":"時間","settings.automations.scheduleLabel":"実行間隔","settings.automations.scheduleMode.daily":"毎日","settings.automations.scheduleMode.interval":"インターバル","settings.automations.scheduleModeLabel":"スケジュールの種類","settings.automations.scheduleSummary.daily":"毎週 {time}","settings.automations.scheduleSummary.interval":"{count} 時間ごと","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# 日}}","settings.automations.scheduleSummary.intervalDays":"{days} に {interval}","settings.automations.scheduleSummary.intervalHourly":"毎時","settings.automations.scheduleSummary.singleDay":"{day} の {time}","settings.automations.scheduleSummary.weekdays":"平日の {time}","settings.automations.scheduleSummary.weekdaysLabel":"平日","settings.automations.scheduleSummary.weekends":"週末の {time}","settings.automations.scheduleSummary.weekendsLabel":"週末","settings.automations.scheduleSummary.weekly":"{days} の {time}","settings.automations.scheduleWeekdays":"有効","settings.automations.weekdayState.excluded":"除外","settings.automations.weekdayState.included":"対象","settings.conversationDetail.steps":"ステップ","settings.conversationDetail.steps.description":"コマンドと出力を非表示にする","settings.conversationDetail.stepsWithCommands":"コード コマンドを使用したステップ","settings.conversationDetail.stepsWithCommands.description":"コマンドを表示し、出力を折りたたむ","settings.conversationDetail.stepsWithOutput":"コード出力を使用したステップ","settings.conversationDetail.stepsWithOutput.description":"コマンドを表示し、出力を広げる","settings.dataControls.archivedChats.dateTime":"{date}、{time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}、{time} • {repo}","settings.dataControls.archivedChats.empty":"アーカイブ済みのチャットはありません。","settings.dataControls.archivedChats.error":"アーカイブ済みのチャットを読み込めませんでした。","settings.dataControls.archivedChats.loading":"アーカイブ済みのチャットを読み込み中...","settings.dataControls.archivedChats.unarchive":"アーカイブを解除する","settings.dataControls.archivedChats.unarchiveError":"チャットをアーカイブ解除できませんでした","settings.dataControls.archivedChats.unarchiveSuccess":"スレッドのアーカイブが解除されました。<viewNowLink>今すぐ確認</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"スレッドのアーカイブが解除されました。","settings.dataControls.archivedChats.untitled":"タイトルのないチャット","settings.dataControls.archivedChats.viewNow":"今すぐ表示する","settings.editRow.headerPlaceholder":"キー","settings.editRow.removeEntry":"エントリを削除する","settings.editRow.valuePlaceholder":"値","settings.general.appearance":"外観","settings.general.appearance.codeFont":"コードのフォント","settings.general.appearance.codeFont.description":"チャットと差分全体でコードに使用するフォントとサイズを調整します","settings.general.appearance.codeFontFamily":"コードのフォントファミリー","settings.general.appearance.codeFontSize":"コードのフォントサイズ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"システムの半透明性ではなく単色の背景をウィンドウに使用します","settings.general.appearance.opaqueWindows.label":"不透明なウィンドウ背景を使用する","settings.general.appearance.sansFontFamily":"サンセリフ体のフォントファミリー","settings.general.appearance.sansFontFamily.description":"Codex UI に使用するフォントを調整します","settings.general.appearance.sansFontSize":"サンセリフ体のフォント サイズ","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark が最初のターンを実行中に、全画面のお祝いエフェクトを表示します","settings.general.appearance.sparkCelebrationEffects.label":"Spark お祝いエフェクト","settings.general.appearance.theme":"テーマ","settings.general.appearance.theme.dark":"ダーク","settings.general.appearance.theme.description":"ライトまたはダークを使用するか、お使いのシステムに合わせます","settings.general.appearance.theme.light":"ライト","settings.general.appearance.theme.system":"システム","settings.general.appearance.usePointerCursors.description":"インタラクティブ要素にマウスオーバーした際に、カーソルをポインターに変えます","settings.general.appearance.usePointerCursors.label":"ポインター カーソルを使用する","settings.general.enterBehavior.description":"有効にすると、複数行のプロンプトを {modifierSymbol} + Enter で送信する必要があります。","settings.general.enterBehavior.label":"{modifierSymbol} + Enter での長いプロンプトの送信を必須にする","settings.general.experimentalFeatures":"実験機能（ベータ版）","settings.general.experimentalFeatures.empty":"利用できる実験機能はありません。","settings.general.experimentalFeatures.loading":"実験機能を読み込んでいます…","settings.general.experimentalFeatures.restartNote":"実験機能の変更を適用するには、Codex を再起動してください","settings.general.experimentalFeatures.toggle":"{featureName} を切り替える","settings.general.followUpQueueMode.description":"Codex の実行中にフォローアップをキューに登録するか、現在の実行を途中で調整します。1回だけ反対の動作をしたい場合は、{invertFollowUpShortcutLabel} を押してください。","settings.general.followUpQueueMode.interrupt":"ステア","settings.general.followUpQueueMode.label":"フォローアップの動作","settings.general.followUpQueueMode.queue":"キュー","settings.general.notifications":"通知","settings.general.power.preventSleepWhileRunning.description":"Codex がスレッドを実行している間は、コンピュータをスリープ状態にしないでください。","settings.general.power.preventSleepWhileRunning.label":"実行中のスリープを防止する","settings.git.branchPrefix.ariaLabel":"ブランチのプレフィックス","settings.git.branchPrefix.description":"Codex で新しいブランチを作成するときに使用されるプレフィックス","settings.git.branchPrefix.label":"ブランチのプレフィックス","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"ブランチのプレフィックスの保存に失敗しました","settings.git.branchPrefix.save.success":"ブランチのプレフィックスを保存しました","settings.git.commitInstructions.ariaLabel":"コミット指示","settings.git.commitInstructions.description":"コミットメッセージ生成プロンプトに追加しました","settings.git.commitInstructions.label":"コミット指示","settings.git.commitInstructions.placeholder":"コミットメッセージの指針を追加…","settings.git.commitInstructions.save":"保存する","settings.git.commitInstructions.save.error":"コミット指示を保存できませんでした","settings.git.commitInstructions.save.success":"コミット指示を保存しました","settings.git.forcePush.ariaLabel":"常にプッシュを強制","settings.git.forcePush.description":"Codex からプッシュする場合は --force-with-lease を使用します","settings.git.forcePush.label":"常にプッシュを強制","settings.git.forcePush.save.disabled":"[常にプッシュを強制] が無効です","settings.git.forcePush.save.enabled":"[常にプッシュを強制] が有効です","settings.git.forcePush.save.error":"プッシュの強制の設定を保存できませんでした","settings.git.prInstructions.ariaLabel":"プル リクエストの指示","settings.git.prInstructions.description":"Codex が作成したプル リクエストの本体に追加されます","settings.git.prInstructions.label":"プル リクエストの指示","settings.git.prInstructions.placeholder":"プル リクエストの指針を追加…","settings.git.prInstructions.save":"保存する","settings.git.prInstructions.save.error":"プル リクエストの指示を保存できませんでした","settings.git.prInstructions.save.success":"プル リクエストの指示を保存しました","settings.ide.defaultOpenTarget.description":"デフォルトでファイルとフォルダーが開く場所","settings.ide.defaultOpenTarget.label":"デフォルトで開く場所","settings.ide.defaultOpenTarget.placeholder":"対象が見つかりませんでした","settings.ide.language.auto":"自動検出","settings.ide.language.autoOption":"自動検出","settings.ide.language.description":"アプリ UI の言語","settings.ide.language.label":"言語","settings.ide.language.search":"言語を検索","settings.layout.actionButton":"拡張を再起動する","settings.layout.actionTitle":"アクション付き設定","settings.layout.fullWidthTitle":"設定（全幅）","settings.layout.title":"設定","settings.localEnvironments.actions.add":"アクションを追加する","settings.localEnvironments.actions.add.description":"ツールバーから実行する新しいコマンドを作成します。","settings.localEnvironments.actions.add.save":"保存する","settings.localEnvironments.actions.empty":"ローカル ツールバーからコマンドを実行するアクションを追加します。","settings.localEnvironments.actions.icon.debug":"デバッグする","settings.localEnvironments.actions.icon.run":"実行されました","settings.localEnvironments.actions.icon.test":"テストする","settings.localEnvironments.actions.icon.tool":"ツール","settings.localEnvironments.actions.item.button.delete":"削除する","settings.localEnvironments.actions.item.command":"アクション スクリプト","settings.localEnvironments.actions.item.name":"名前","settings.localEnvironments.actions.item.platforms":"プラットフォーム","settings.localEnvironments.actions.item.platforms.help":"特定の OS でのみ実行します。","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"プラットフォームの選択","settings.localEnvironments.actions.item.platforms.specific":"プラットフォーム固有","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"削除する","settings.localEnvironments.actions.title":"アクション","settings.localEnvironments.breadcrumb.back":"前へ","settings.localEnvironments.breadcrumb.edit":"編集","settings.localEnvironments.breadcrumb.root":"環境","settings.localEnvironments.environment.actions.description":"これらのアクションは任意のコマンドを実行でき、ヘッダーに表示されます。","settings.localEnvironments.environment.actionsLabel":"アクション","settings.localEnvironments.environment.create":"ローカル環境を作成する","settings.localEnvironments.environment.defaultName":"ローカル","settings.localEnvironments.environment.edit":"ローカル環境を編集する","settings.localEnvironments.environment.empty":"このプロジェクトには、まだローカル環境が設定されていません。","settings.localEnvironments.environment.name":"名前","settings.localEnvironments.environment.setup":"セットアップ スクリプト","settings.localEnvironments.environment.setup.description":"このスクリプトは、Worktree 作成時に実行されます。","settings.localEnvironments.environment.setup.hint":"プロジェクトのルートで実行されます。","settings.localEnvironments.environment.setup.platformOverrides":"プラットフォーム オーバーライド","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} セットアップ スクリプトを追加する","settings.localEnvironments.environment.setup.platformOverrides.description":"特定の OS でデフォルト スクリプトをオーバーライドします。","settings.localEnvironments.environment.setup.platformOverrides.remove":"削除する","settings.localEnvironments.environment.setup.script":"スクリプト","settings.localEnvironments.environment.title":"環境の詳細","settings.localEnvironments.file.missing":"保存して、このファイルを初めて作成します。","settings.localEnvironments.file.parseError":"既存ファイルを解析できません。保存すると上書きされます。（{error}）","settings.localEnvironments.file.path":"ファイル：{path}","settings.localEnvironments.file.readError":"ローカル環境データの読み込みに失敗しました。（{error}）","settings.localEnvironments.file.title":"ローカル環境ファイル","settings.localEnvironments.loading.body":"プロジェクト設定を取得しています。","settings.localEnvironments.loading.title":"ローカル環境を読み込んでいます","settings.localEnvironments.preview.devOnly":"（開発者のみ）","settings.localEnvironments.preview.save":"保存する","settings.localEnvironments.preview.saveError":"ファイルの保存に失敗しました。（{error}）","settings.localEnvironments.preview.title":"プレビュー","settings.localEnvironments.save.disabled.name":"保存するには、環境名を追加してください。","settings.localEnvironments.save.disabled.noChanges":"保存する変更がありません。","settings.localEnvironments.save.disabled.saving":"保存中...","settings.localEnvironments.save.success":"ローカル環境を保存しました","settings.localEnvironments.unavailable.body":"このプロジェクトのローカル環境設定を読み込めませんでした。","settings.localEnvironments.unavailable.title":"ローカル環境は利用できません","settings.localEnvironments.workspace.add":"プロジェクトを追加する","settings.localEnvironments.workspace.title":"プロジェクト","settings.localEnvironments.workspaceSelect.addLabel":"環境を追加する","settings.localEnvironments.workspaceSelect.description":"ローカル環境によって、Codex にプロジェクトの Worktree の設定方法が指示されます。{learnMore}","settings.localEnvironments.workspaceSelect.empty":"プロジェクトがまだありません。追加してローカル環境を設定してください。","settings.localEnvironments.workspaceSelect.errorLabel":"環境に対応が必要です","settings.localEnvironments.workspaceSelect.learnMore":"詳細はこちら","settings.localEnvironments.workspaceSelect.listLabel":"利用可能なプロジェクト","settings.localEnvironments.workspaceSelect.loading":"プロジェクトを読み込んでいます","settings.localEnvironments.workspaceSelect.loadingLabel":"環境を読み込んでいます","settings.localEnvironments.workspaceSelect.title":"プロジェクトを選択","settings.localEnvironments.workspaceSelect.viewAction":"確認する","settings.mcp.addServer":"サーバーを追加する","settings.mcp.app.configure":"構成","settings.mcp.app.connect":"接続する","settings.mcp.apps.refresh":"更新する","settings.mcp.detail.addArgument":"引数を追加","settings.mcp.detail.addEnvVar":"環境変数を追加","settings.mcp.detail.addEnvVarPassthrough":"変数を追加","settings.mcp.detail.args":"引数","settings.mcp.detail.back":"前へ","settings.mcp.detail.command":"起動用コマンド","settings.mcp.detail.cwd":"作業ディレクトリ","settings.mcp.detail.docs":"MCP ドキュメントを開く","settings.mcp.detail.docs.link":"ドキュメント","settings.mcp.detail.envVarPassthrough":"環境変数パススルー","settings.mcp.detail.envVars":"環境変数","settings.mcp.detail.http.addEnvHeader":"変数を追加","settings.mcp.detail.http.addHeader":"ヘッダーを追加","settings.mcp.detail.http.bearerToken":"Bearer トークン環境変数","settings.mcp.detail.http.envHeaders":"環境変数からのヘッダー","settings.mcp.detail.http.headers":"ヘッダー","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"名前","settings.mcp.detail.save":"保存する","settings.mcp.detail.switchTransportNotice":"MCP サーバータイプを切り替える場合は、まずアンインストールしてください。","settings.mcp.detail.titleExisting":"{name} MCP を更新する","settings.mcp.detail.titleNew":"カスタム MCP に接続する","settings.mcp.detail.transport.http":"ストリーミング可能な HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"アンインストールする","settings.mcp.empty":"カスタム MCP サーバーが接続されていません","settings.mcp.myServers":"カスタムサーバー","settings.mcp.partnerServer.description.figma":"Figma コンテキストを完全に組み込むことで、より優れたコードを生成します","settings.mcp.partnerServer.description.github":"GitHub API と統合して、ワークフローを自動化してデータを抽出します","settings.mcp.partnerServer.description.linear":"Linear の問題追跡およびプロジェクト管理と統合します","settings.mcp.partnerServer.description.notion":"ドキュメントを読み、ページを更新し、タスクを管理します","settings.mcp.partnerServer.description.playwright":"ブラウザーの自動化を統合して、UI を設計してテストします","settings.mcp.partnerServer.install":"インストールする","settings.mcp.partnerServer.installAndAuthenticate":"インストールして認証する","settings.mcp.partnerServer.logoAlt":"{label} ロゴ","settings.mcp.partnerServer.manage":"管理する","settings.mcp.partnerServer.vendor":"作成者：{vendor}","settings.mcp.recommendedServers":"推奨サーバー","settings.mcp.restartApp":"再起動","settings.mcp.restartExtension":"拡張を再起動する","settings.mcp.server.enable":"有効にする","settings.mcp.server.login":"認証する","settings.mcp.server.settings":"設定","settings.multiselect.createOption":"「{value}」を作成する","settings.multiselect.removeOption":"削除する","settings.nav.account":"アカウント","settings.nav.agent":"構成","settings.nav.ariaLabel":"設定","settings.nav.back":"アプリに戻る","settings.nav.data-controls":"アーカイブされたスレッド","settings.nav.environments":"クラウド環境","settings.nav.externalTooltip":"[アルファ] ブラウザーで開きます","settings.nav.general-settings":"一般","settings.nav.git-settings":"Git","settings.nav.local-environments":"環境","settings.nav.mcp-settings":"MCP サーバー","settings.nav.notImplemented":"[アルファ] アルファではまだ利用できません","settings.nav.personalization":"パーソナライズ","settings.nav.skills-settings":"スキル","settings.nav.usage-analytics":"使用状況とアナリティクス","settings.nav.worktrees":"Worktree","settings.openSourceLicenses.back":"前へ","settings.openSourceLicenses.loading":"読み込んでいます...","settings.openSourceLicenses.missing":"サードパーティ通知が見つかりませんでした。","settings.openSourceLicenses.notSupported":"このホストでは利用できません。","settings.openSourceLicenses.rowDescription":"バンドルされている依存関係のサードパーティ通知","settings.openSourceLicenses.rowLabel":"オープン ソース ライセンス","settings.openSourceLicenses.subtitle":"このアプリに含まれている依存関係のサードパーティ通知","settings.openSourceLicenses.title":"オープン ソース ライセンス","settings.openSourceLicenses.view":"確認する","settings.personalization.agents.description":"Codex をあなたに合わせて調整するための指示を編集します。{learnMore}","settings.personalization.agents.learnMore":"詳細はこちら","settings.personalization.agents.loadError":"agents.md を読み込めません","settings.personalization.agents.loading":"agents.md を読み込んでいます…","settings.personalization.agents.placeholder":"カスタム指示を追加…","settings.personalization.agents.retry":"もう一度実行する","settings.personalization.agents.save":"保存する","settings.personalization.agents.save.error":"agents.md を保存できません","settings.personalization.agents.save.success":"agents.md が保存されました","settings.personalization.agents.title":"カスタム指示","settings.personalization.personality.description":"Codex の回答のデフォルトのトーンを選択してください","settings.personalization.personality.label":"性格","settings.sample.contentBody":"このレイアウトを使用すると、設定パネルを一定の間隔で配置できます。","settings.sample.contentTitle":"コンテンツ ブロックのサンプル","settings.section.account":"アカウント","settings.section.agent":"構成","settings.section.data-controls":"アーカイブされたスレッド","settings.section.environments":"クラウド環境","settings.section.external":"アルファ版ではブラウザーで開く","settings.section.general-settings":"一般","settings.section.git-settings":"Git","settings.section.local-environments":"環境","settings.section.mcp-settings":"MCP サーバー","settings.section.mcp-settings.docs":"ドキュメント","settings.section.mcp-settings.subtitle":"外部ツールとデータ情報源を接続してください。","settings.section.personalization":"パーソナライズ","settings.section.skills-settings":"スキル","settings.section.unavailable":"アルファ版ではまだ利用できません","settings.section.usage-analytics":"使用状況とアナリティクス","settings.section.worktrees":"Worktree","settings.threadDetail.description":"スレッドに表示するコマンド出力の量を選択します","settings.threadDetail.label":"スレッドの詳細","settings.worktrees.conversation.untitled":"タイトルなしの会話","settings.worktrees.delete.error":"Worktree を削除できませんでした","settings.worktrees.empty.body":"Codex によって作成された Worktree はここに表示されます。","settings.worktrees.empty.title":"Worktree はまだありません","settings.worktrees.error.body":"Worktree の読み込み中に問題が発生しました。","settings.worktrees.error.retry":"もう一度実行する","settings.worktrees.error.title":"Worktree を読み込めません","settings.worktrees.loading.body":"Worktree の詳細を取得しています。","settings.worktrees.loading.title":"Worktree を読み込み中","settings.worktrees.repository.loading":"リポジトリのメタデータを読み込み中...","settings.worktrees.repository.unknown":"不明なリポジトリ","settings.worktrees.row.conversations":"会話","settings.worktrees.row.conversations.empty":"この Worktree にリンクされた会話がありません。","settings.worktrees.row.conversations.loading":"会話を読み込んでいます...","settings.worktrees.row.delete":"削除する","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"新しいプロジェクトを追加","sidebarElectron.archiveThread":"スレッドをアーカイブする","sidebarElectron.archiveThreadError":"スレッドをアーカイブできませんでした","sidebarElectron.collapseFolder":"フォルダーを折りたたむ","sidebarElectron.createStableWorktree.dialog.cancel":"キャンセルする","sidebarElectron.createStableWorktree.dialog.create":"作成する","sidebarElectron.debugNavLink":"デバッグする","sidebarElectron.editWorkspaceRootOptionName":"名前を編集する","sidebarElectron.expandFolder":"フォルダーを展開する","sidebarElectron.groupByMenu.recency":"時系列リスト","sidebarElectron.groupByMenu.title":"まとめる","sidebarElectron.groupByMenu.workspace":"プロジェクトごと","sidebarElectron.inboxRouteNavLink":"オートメーション","sidebarElectron.markThreadUnread":"未読としてマークする","sidebarElectron.missingWorkspaceRoot":"このプロジェクトフォルダーは、削除されたか移動されています","sidebarElectron.newThread":"新しいスレッド","sidebarElectron.newThreadInGroup":"{folder}内で新しいスレッドを開始する","sidebarElectron.noRecentThreads":"最近のスレッドはありません","sidebarElectron.noTasks":"スレッドはありません","sidebarElectron.noTasks.start":"新しいプロジェクトを追加する","sidebarElectron.noTasksWithFilter":"フィルターに一致するスレッドはありません","sidebarElectron.pinnedThreads":"ピン留めされたスレッド","sidebarElectron.recentNavLink":"スレッド","sidebarElectron.recentThreads":"最近のスレッド","sidebarElectron.removeWorkspaceRootOption":"削除する","sidebarElectron.renameThread":"スレッド名を変更する","sidebarElectron.renameThreadDialogAriaLabel":"スレッドのタイトル","sidebarElectron.renameThreadDialogCancel":"キャンセルする","sidebarElectron.renameThreadDialogPlaceholder":"タイトルを追加…","sidebarElectron.renameThreadDialogSave":"保存する","sidebarElectron.renameThreadDialogSubtitle":"短く、わかりやすくしてください。","sidebarElectron.renameThreadDialogTitle":"スレッド名を変更する","sidebarElectron.renameThreadError":"スレッドの名前を変更できませんでした","sidebarElectron.renameWorkspaceRootOptionLabel":"表示名","sidebarElectron.showLess":"表示を減らす","sidebarElectron.showMenu.all":"すべてのスレッド","sidebarElectron.showMenu.relevant":"関連性がある","sidebarElectron.showMenu.relevantHint":"現在のブランチの最近のスレッド、Worktree、または確認が必要なその他のスレッドのみが表示されます","sidebarElectron.showMenu.title":"表示","sidebarElectron.showMenu.tooltip":"スレッドの絞り込み、並び替え、整理を実行","sidebarElectron.showMenu.trigger":"サイドバーのスレッドをフィルタリングする","sidebarElectron.showMore":"もっと表示する","sidebarElectron.skillsRouteNavLink":"スキル","sidebarElectron.sortMenu.created":"作成済み","sidebarElectron.sortMenu.title":"ソート基準","sidebarElectron.sortMenu.updated":"更新日時","sidebarElectron.taskNavigation":"自動化フォルダー","sidebarElectron.tasksInFolder":"{folder} 内の自動化","sidebarElectron.workspaceOptions":"{folder} のプロジェクト アクション","sidebarElectron.worktreeGroupTooltip":"これは git ワークツリーです","skills.appsPage.createSkill":"新しいスキル","skills.appsPage.empty.skills":"スキルが見つかりません","skills.appsPage.search.skills":"スキルを検索する","skills.appsPage.search.skills.label":"スキルを検索する","skills.appsPage.section.installedApps":"インストール済み","skills.appsPage.section.skills":"スキル","skills.appsPage.subheading":"Codex を強化しましょう。 <link>詳細はこちら</link>","skills.appsPage.tab.recommended":"推奨","skills.appsPage.tab.skills":"スキル","skills.card.contentsError":"スキル コンテンツを読み込めません。","skills.card.disable":"無効にする","skills.card.disableSuccess":"{skillName} スキルが無効になりました","skills.card.disabledBadge":"無効","skills.card.enable":"有効にする","skills.card.enableSuccess":"{skillName} スキルが有効になりました","skills.card.loadingContents":"スキル コンテンツを読み込んでいます…","skills.card.more":"その他のアクション","skills.card.open":"開く","skills.card.removeFailed":"スキルをアンインストールできませんでした","skills.card.removeSuccess":"{skillName} スキルがアンインストールされました","skills.card.toggleEnabledError":"スキルを更新できませんでした","skills.card.try":"試す","skills.card.trySkill":"スキルを試す","skills.card.uninstall":"アンインストールする","skills.hero.dotLabel":"スライド {index} に異動","skills.hero.next":"次のおすすめのスキル","skills.hero.trySkill":"スキルを試す","skills.page.createSkill":"新しいスキル","skills.page.empty":"スキルが見つかりません","skills.page.filteredEmpty":"フィルターに一致するスキルはありません","skills.page.filteredEmptyDescription":"検索やスコープ フィルターを調整してみてください","skills.page.heading":"スキル","skills.page.loading":"スキルを読み込んでいます…","skills.page.refreshSkills":"更新する","skills.page.refreshSkillsToUseNew":"更新して新しいスキルを使用する","skills.page.search":"スキルを検索する","skills.page.search.label":"スキルを検索する","skills.page.subheading":"Codex を強化しましょう。 <link>詳細はこちら</link>","skills.preview.copyPrompt":"プロンプトをコピーする","skills.preview.examplePrompt":"プロンプト例","skills.recommended.error":"推奨スキルを読み込めません","skills.recommended.install":"インストールする","skills.recommended.installSkill":"スキルをインストールする","skills.recommended.installSuccess":"{skillName} スキルがインストールされました","skills.recommended.installed":"インストール済み","skills.scope.admin":"管理者","skills.scope.adminInstalled":"管理者がインストール済み","skills.scope.builtIn":"システム","skills.scope.personal":"個人","skills.scope.repo":"リポジトリ","skills.scope.system":"システム","skills.scope.team":"Team","skills.scope.user":"ユーザー","skills.section.installed":"インストール済み","skills.section.recommended":"推奨","story.slidingToggle.existing":"既存","story.slidingToggle.fromLocal":"ローカルから","story.slidingToggle.new":"新規","story.slidingToggle.toLocal":"ローカルへ","terminal.close":"ターミナルを閉じる","terminal.title":"ターミナル","thinkingShimmer.default":"思考中","threadEnvIcon.cloudTooltip":"この会話は Codex Cloud で実行中です。","threadEnvIcon.localTooltip":"この会話はローカルで実行中です。","threadEnvIcon.worktreeTooltip":"この会話はローカルの git Worktree で実行中です。","threadHeader.archiveConfirmCancel":"キャンセルする","threadHeader.archiveConfirmConfirm":"アーカイブする","threadHeader.archiveConfirmSubtitle":"後でアーカイブ済みのスレッドで確認できます。","threadHeader.archiveConfirmTitle":"スレッドをアーカイブしますか？","threadHeader.copyAppLink":"Deeplink をコピーする","threadHeader.copySessionId":"セッション ID をコピー","threadHeader.copyWorkingDirectory":"作業ディレクトリをコピーする","threadHeader.forkIntoLocal":"ローカルにフォークする","threadHeader.forkIntoWorktree":"新しい Worktree にフォークする","threadHeader.forkPendingWorktreePrompt":"この会話を新しい Worktree にフォークしてください。","threadHeader.forkPendingWorktreeTitle":"フォークした会話","threadHeader.forkThreadError":"スレッドをフォークできませんでした","threadHeader.forkThreadRequiresGitRepo":"新しい Worktree にフォークするには、Git リポジトリが必要です","threadHeader.moreActions":"スレッド アクション","threadPage.newThread":"新しいスレッド","threadPage.runAction.changeEnvironment":"環境を変更する","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} のアクション","threadPage.runAction.environmentSelector.label":"環境を選択する","threadPage.runAction.label":"実行する","threadPage.runAction.missing.label":"実行アクションを設定する","threadPage.runAction.setup.commandLabel":"実行用コマンド","threadPage.runAction.setup.description":"依存関係のインストール方法とアプリの開始方法を Codex に伝えてください。","threadPage.runAction.setup.editMore":"環境設定","threadPage.runAction.setup.placeholder":"例：npm install npm run","threadPage.runAction.setup.submit":"保存して実行する","threadPage.runAction.setup.title":"実行する","threadPage.runAction.tooltip.withEnvironment":"{environmentName} のアクション","threadPage.toggleDiffPanel":"差分パネルを切り替える","threadPage.toggleTerminal":"ターミナルを切り替える","threadTitle.branchName":"（{branchName}）","threadTitle.openFolderInFinder":"フォルダーを開く","toolSummaryForCmd.exploredFiles":"ファイルを<verb>リストしました</verb>","toolSummaryForCmd.exploredFilesInPath":"{path} のファイルを<verb>リストしました</verb>","toolSummaryForCmd.exploringFiles":"ファイルを<verb>リストしています</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} のファイルを<verb>リストしています</verb>","toolSummaryForCmd.ranGenericCommand":"<status>コマンドを実行</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>実行済みコマンド</status>：{command}{timer}","toolSummaryForCmd.read":"{path} を<verb>読み込みました</verb>","toolSummaryForCmd.runningGenericCommand":"<status>コマンドを実行中</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} 用","toolSummaryForCmd.searchedFor":"{query} の<verb>検索が完了しました</verb>","toolSummaryForCmd.searchedForFiles":"ファイルの<verb>検索が完了しました</verb>","toolSummaryForCmd.searchedForInPath":"{path} での {query} の <verb>検索が完了しました</verb>","toolSummaryForCmd.searchingFor":"{query} を<verb>検索しています</verb>","toolSummaryForCmd.searchingForFiles":"ファイルを<verb>検索しています</verb>","toolSummaryForCmd.searchingForInPath":"{path} で {query} を<verb>検索しています</verb>","traceRecording.details.noteLabel":"これが起きたとき、何をしていましたか？（任意）","traceRecording.details.notePlaceholder":"大きなスレッドに移動した後にタブの切り替えを繰り返し...","traceRecording.details.submit":"トレースを送信する","traceRecording.details.subtitle":"パフォーマンスの問題を診断するのに役立てるため、このプロファイル トレースを送信できます。","traceRecording.details.title":"プロファイル トレースを送信しますか？","traceRecording.progress.subtitle":"この処理が完了する間、Codex を開いたままにします。","traceRecording.saving.title":"トレースを保存中...","traceRecording.startDetails.cancel":"キャンセルする","traceRecording.startDetails.submit":"OK、記録を開始する","traceRecording.startDetails.subtitle":"[OK] をクリックし、パフォーマンスの問題を再現してから、画面に表示される赤いアイコンをクリックして記録を停止し、トレースを確認してください。","traceRecording.startDetails.title":"トレース記録の仕組み","traceRecording.stopButton.ariaLabel":"トレース記録を停止する","traceRecording.upload.successToast":"プロファイル トレースを送信しました。","traceRecording.uploading.title":"トレースをアップロード中…","wham.diff.addComment":"コメントの追加","wham.diff.binaryFile":"バイナリ ファイルは表示されません","wham.diff.noContent":"空のファイルです","wham.fileTag.deleted":"削除済み","wham.fileTag.new":"新規","wham.formattedRelativeDateTime.compactDaysAgo":"{value}日","wham.formattedRelativeDateTime.compactHoursAgo":"{value}時間","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}分","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}か月","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}週間","wham.formattedRelativeDateTime.compactYearsAgo":"{value}年","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"あなたのタスクを処理しています","wham.whamProposedTask.title":"お勧めのタスク","wham.whamProposedTask.useSuggestion":"提案を使用する","workspaceRootDialog.addError":"プロジェクトを追加できませんでした","workspaceRootDialog.cancel":"キャンセルする","workspaceRootDialog.confirmAdd":"プロジェクトを追加する","workspaceRootDialog.confirmPick":"プロジェクトを使用する","workspaceRootDialog.description":"プロジェクトとして使用するには、{host} 上のパスを入力してください。","workspaceRootDialog.pathLabel":"プロジェクト パス","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"プロジェクト パスを追加する","workspaceRootDialog.title.pick":"プロジェクト パスを選択する","worktreeInitV2.cancel":"キャンセルする","worktreeInitV2.notification.failedTitle":"Worktree のセットアップが失敗しました","worktreeInitV2.output.empty":"出力を待っています…","worktreeInitV2.status.error":"Worktree のセットアップが失敗しました。","worktreeInitV2.status.running":"Worktree を作成して、セットアップを実行しています。","worktreeInitV2.status.runningFork":"この会話をフォークする新しい Worktree を作成しています。","worktreeInitV2.status.success":"Worktree が作成されました。","worktreeInitV2.title":"Worktree を作成しています","worktreeInitV2.workLocallyInstead":"代わりにローカルで作業する","worktreeRestoreBanner.body":"このスレッドの Worktree は、ディスク スペースを節約するために削除されました。","worktreeRestoreBanner.missing.body":"このスレッドの作業ディレクトはもう存在しません。","worktreeRestoreBanner.missing.title":"現在の作業ディレクトリがありません","worktreeRestoreBanner.restore.error":"Worktree を復元できませんでした：{message}","worktreeRestoreBanner.restore.success":"Worktree が復元されました","worktreeRestoreBanner.restoreCta":"Worktree を復元する","worktreeRestoreBanner.title":"Worktree がクリーンアップされました"};Object.assign(e,globalThis.codexI18nOverrides?.["ja-JP"]);export{e as default};
 //# sourceMappingURL=ja-JP-CGGtLku9.js.map
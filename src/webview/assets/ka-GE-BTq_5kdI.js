@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"კოპირება","app.sidebar.hide":"გვერდითი ზოლის დამალვა","app.sidebar.show":"გვერდითი ზოლის ჩვენება","app.sidebar.tooltip":"გვერდითი ზოლის ღილაკით ჩართვა","appHeader.installUpdate":"განახლება","appSunset.body":"აპის ეს ვერსია აღარაა მხარდაჭერილი. ჩამოტვირთეთ უახლესი ვერსია <here>აქ</here>.","appSunset.title":"საჭიროა განახლება","automation.updateDirective.create":"შექმნა","automation.updateDirective.open":"გახსნა","automation.updateDirective.untitled":"უსათაურო ავტომატიზაცია","automation.updateDirective.update":"განახლება","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# მცდელობა} other {# მცდელობა}}","cloudTaskRow.archiveError":"დავალების დაარქივება ვერ მოხერხდა","code.diff.requestChange":"ცვლილების მოთხოვნა","code.diffComment.cancel":"გაუქმება","code.diffComment.comment":"კომენტარის დამატება","code.diffComment.delete":"წაშლა","code.diffComment.save":"შენახვა","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"შედეგების შესახებ მოხსენება არ გამოგზავნილა.","codex.alert.closeAriaLabel":"დახურვა","codex.appUpsellBanner.cbpApi.message":"შემქნით უფრო სწრაფად Codex-ის აპით. ჩამოტვირთეთ ახლა ან {learnMoreLink}.","codex.appUpsellBanner.download":"ჩამოტვირთვა","codex.appUpsellBanner.freeGo.message":"Codex შეტანილია თქვენს გეგმაში 2 მარტამდე. ცადეთ Codex-ის აპი უფრო სწრაფად სამუშაოდ.","codex.appUpsellBanner.later":"მოგვიანებით","codex.appUpsellBanner.learnMoreLowercase":"ვრცლად","codex.appUpsellBanner.new":"ახალი","codex.appUpsellBanner.proPlusBusiness.message":"ცადეთ Codex-ის აპი გამოყენების გაორმაგებული ლიმიტები 2 აპრილამდე. ჩამოტვირთეთ ახლა ან {learnMoreLink}","codex.appUpsellBanner.title":"Codex-ის აპი","codex.applyDropdown.header.changes":"ცვლილებები","codex.applyDropdown.header.fileCount":"{count, plural, one {# ფაილი} other {# ფაილები}}","codex.applyDropdown.header.rows":"მწკრივები","codex.applyDropdown.header.title":"ცვლილებების შეტანა","codex.applyDropdown.header.workspace":"პროექტი","codex.applyDropdown.results.conflicted":"{count, plural, one {ერთი ფაილი წინააღმდეგობრივია:} other {{count} ფაილი წინააღმდეგობრივია:}}","codex.applyDropdown.results.empty":"არცერთი ფაილი არ არის კოპირებული","codex.applyDropdown.results.skipped":"{count, plural, one {ერთი ფაილი გამოტოვებულია:} other {{count} ფაილი გამოტოვებულია:}}","codex.applyOrRevertBanner.apply":"ცვლილებების შეტანა","codex.applyOrRevertBanner.applyMessage":"გსურთ ცვლილებების შეტანა და ადგილობრივად გაგრძელება?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ეს ამოცანა შეიქმნა {environment}-ში, ამრიგად, შესაძლოა არ მიესადაგოს გამართულად.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"ცვლილებები შეტანილია {environment}-ში, ამრიგად, შესაძლოა არ მიესადაგოს გამართულად.","codex.applyOrRevertBanner.reapply":"ხელახლა მისადაგება","codex.applyOrRevertBanner.revert":"წინა ვერსიის დაბრუნება","codex.applyOrRevertBanner.revertMessage":"გსურთ მისადაგებული ცვლილებების წინა ვერსიის დაბრუნება?","codex.applyResultsDialog.applied":"სუფთად მისადაგებული ({count})","codex.applyResultsDialog.close":"დახურვა","codex.applyResultsDialog.conflicted":"წინააღმდეგობრივი ({count})","codex.applyResultsDialog.noDetails":"ფაილის დეტალები არ არის ხელმისაწვდომი.","codex.applyResultsDialog.skipped":"გამოტოვებული ({count})","codex.applyResultsDialog.title":"შედეგების მისადაგება","codex.archiveInfo":"დაარქივებული ჩეთების ნახვა {dataControlsLink}-ში.","codex.archiveInfo.dataControlsLink":"მონაცემთა მართვის საშუალებები","codex.archiveInfo.electron":"დაარქივებული ჩეთების ნახვა {settingsLink}-ში","codex.archiveInfo.extension":"დაარქივებული ჩეთების ნახვა თქვენს .codex საქაღალდეში.","codex.archiveInfo.settingsLink":"პარამეტრები","codex.banner.content.description":"ამოცანების გაშვება პარალელურად, პროგრესზე თვალის დევნება ნებისმიერ ადგილას და PR-ების მიმოხილვა ხელოვნური ინტელექტით.","codex.banner.content.headline":"Codex ყველაფერს ასრულებს.","codex.cloudTaskRow.archiveTask":"ამოცანის დაარქივება","codex.cloudTaskRow.confirmArchiveTask":"დადასტურება","codex.command.feedback":"გამოხმაურება","codex.command.findInThread":"პოვნა","codex.command.forceReloadSkills":"უნარების იძულებით ხელახლა ჩატვირთვა","codex.command.logOut":"სისტემიდან გამოსვლა","codex.command.manageTasks":"ამოცანების მართვა","codex.command.mcpSettings":"მოდელის კონტექსტის პროტოკოლი (MCP)","codex.command.navigateBack":"უკან","codex.command.navigateForward":"წინ","codex.command.newThread":"ახალი ნაკადი","codex.command.nextThread":"შემდეგი ნაკადი","codex.command.openFolder":"საქაღალდის გახსნა","codex.command.openSkills":"უნარებზე გადასვლა","codex.command.openThreadOverlay":"ნაკადი ამომხტარ ფანჯარაში","codex.command.personalitySettings":"პიროვნულობა","codex.command.previousThread":"წინა ნაკადი","codex.command.settings":"პარამეტრები","codex.command.toggleDiffPanel":"Diff-ის პანელის გადართვა","codex.command.toggleSidebar":"გვერდითი ზოლის ღილაკით ჩართვა","codex.command.toggleTerminal":"ტერმინალის გადართვა","codex.commandGroup.app":"აპი","codex.commandGroup.configure":"კონფიგურირება","codex.commandGroup.navigation":"ნავიგაცია","codex.commandGroup.panels":"პანელები","codex.commandGroup.skills":"უნარები","codex.commandGroup.thread":"ნაკადი","codex.commandGroup.workspace":"პროექტი","codex.commandMenu.noResults":"დამთხვევები არ არის","codex.commandMenu.searchPlaceholder":"ბრძანებების ძიება","codex.commandMenu.suggestedGroup":"შემოთავაზებული","codex.commandMenu.switchWorkspace":"პროექტის გადართვა","codex.commandMenu.title":"ბრძანების მენიუ","codex.common.retry":"ხელახლა ცდა","codex.composer.searchBranches":"განშტოებების ძიება","codex.dialog.basic.body":"ეს არის მარტივი მოდალური დიალოგი, რომელიც იყენებს ჩვენს შეფუთვის ფუნქციონალს Radix Dialog-ისთვის.","codex.dialog.basic.cancel":"გაუქმება","codex.dialog.basic.confirm":"დადასტურება","codex.dialog.basic.open":"დიალოგის გახსნა","codex.dialog.basic.title":"დიალოგის ნიმუში","codex.dialog.long.close":"დახურვა","codex.dialog.long.line":"გადაადგილებადი ხაზი {index} დიალოგში გრძელი კონტენტის სადემონსტრაციოდ.","codex.dialog.long.open":"გრძელი დიალოგის გახსნა","codex.dialog.long.title":"გრძელი კონტენტის დიალოგი","codex.dialog.unstyled.body":"ეს ისტორია წარმოაჩენს, როგორ შეუძლიათ მომხმარებლებს დიალოგის კონტენტის სტილის მართვა.","codex.dialog.unstyled.open":"ChatGPT-ის დაუფორმატებელი დიალოგის გახსნა","codex.dialog.unstyled.title":"დაუფორმატებელი კონტენტი","codex.diff.openInEditorPrompt.openButton":"რედაქტორში გახსნა","codex.diff.openInEditorPrompt.singleLine":"ეს ფაილი ძალიან დიდია აქ წარმოსაჩენად.","codex.diffView.failedToDecodeBase64Diff":"Base64 diff-ის გაშიფვრა წარუმატებელია","codex.diffView.filesChanged":"{fileCount, plural, one {# ფაილი შეიცვალა} other {# ფაილი შეიცვალა}}","codex.diffView.imagePreviewAlt":"სურათის გადახედვა","codex.diffView.imagePreviewEmpty":"სურათის გარეშე","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Diff მონაცემების გარეშე","codex.diffView.pdfPreview.nextPage":"შემდეგი გვერდი","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"წინა გვერდი","codex.diffView.pdfPreviewEmpty":"PDF-ის გადახედვის გარეშე","codex.diffView.pdfPreviewError":"PDF-ის გადახედვის წარმოჩენა ვერ ხერხდება","codex.diffView.richPreviewDisable":"გაფართოებული გადახედვის გათიშვა","codex.diffView.richPreviewEnable":"გაფართოებული გადახედვის ჩართვა","codex.diffView.richPreviewLoading":"გადახედვა იტვირთება…","codex.diffView.richPreviewToggle":"გაფართოებული გადახედვის გადართვა","codex.diffView.switchToUnified":"ერთიან diff-ზე გადართვა","codex.environmentSelector.noEnvironment":"გარემოს გარეშე","codex.environments.environmentSettings":"გარემოს პარამეტრები","codex.environments.learnMore":"ვრცლად","codex.environments.listError":"გარემოების ჩატვირთვა ვერ მოხერხდა.","codex.environments.noEnvironmentsFound":"გარემოები არ მოიძებნა","codex.environments.searchError":"გარემოების ძიება ვერ მოხერხდა.","codex.errorBoundary.genericError":"უი, დაფიქსირდა შეცდომა","codex.errorBoundary.goHome":"ხელახლა ცდა","codex.file.patch.missing":"ამ ფაილისთვის ჩასწორების შექმნა ვერ ხერხდება.","codex.gallery.automations.cwdLabel":"პროექტები","codex.gallery.automations.nameLabel":"სახელი","codex.gallery.automations.namePlaceholder":"ამოცანის შეჯამება","codex.gallery.automations.promptLabel":"მოთხოვნა","codex.gallery.automations.promptPlaceholder":"აღწერეთ, რა უნდა გააკეთოს Codex-მა","codex.gallery.dialogs.automation.label":"ავტომატიზაციის დიალოგი","codex.gallery.dialogs.basic.body":"გამოიყენეთ ეს განლაგება ადვილად გასაგები დადასტურებების ან მოკლე ფორმებისთვის.","codex.gallery.dialogs.basic.cancel":"გაუქმება","codex.gallery.dialogs.basic.confirm":"დადასტურება","codex.gallery.dialogs.basic.label":"ძირითადი დიალოგი","codex.gallery.dialogs.basic.title":"დიალოგის ნიმუში","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"აღწერეთ პრობლემა","codex.gallery.dialogs.feedbackSubmission.bad":"ცუდი შედეგი","codex.gallery.dialogs.feedbackSubmission.bug":"ხარვეზი","codex.gallery.dialogs.feedbackSubmission.good":"კარგი შედეგი","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Codex-ის სესიის მიმდინარე პროტოკოლების გამოყენება","codex.gallery.dialogs.feedbackSubmission.label":"გამოხმაურების წარდგენა","codex.gallery.dialogs.feedbackSubmission.other":"სხვა","codex.gallery.dialogs.feedbackSubmission.placeholder":"აღწერეთ პრობლემა აქ","codex.gallery.dialogs.feedbackSubmission.submit":"წარდგენა","codex.gallery.dialogs.feedbackSubmission.title":"გამოხმაურება","codex.gallery.dialogs.feedbackSuccess.body":"გამოხმაურება ატვირთულია. თუ პრობლემა არ მოგვარდება, გახსენით GitHub-ის პრობლემა ან მოიხსენიეთ ნაკადის საიდენტიფიკაციო ნომერი არსებულ ღია პრობლემაში:","codex.gallery.dialogs.feedbackSuccess.dismiss":"დახურვა","codex.gallery.dialogs.feedbackSuccess.label":"გამოხმაურება წარმატებით გაიგზავნა","codex.gallery.dialogs.feedbackSuccess.title":"გამოხმაურება ატვირთულია","codex.gallery.dialogs.gitApplyResults.applied":"სუფთად მისადაგებული (2)","codex.gallery.dialogs.gitApplyResults.close":"დახურვა","codex.gallery.dialogs.gitApplyResults.conflicted":"წინააღმდეგობრივი (1)","codex.gallery.dialogs.gitApplyResults.label":"შედეგების მისადაგება","codex.gallery.dialogs.gitApplyResults.title":"შედეგების მისადაგება","codex.gallery.dialogs.gitPushError.body":"გამოიტანეთ უახლესი ცვლილებები ან იძულებით გააგზავნეთ, თუ იცით, რომ დისტანციური ისტორიის გადაწერა უსაფრთხოდაა შესაძლებელი.","codex.gallery.dialogs.gitPushError.cancel":"გაუქმება","codex.gallery.dialogs.gitPushError.force":"იძულებით გადაცემა","codex.gallery.dialogs.gitPushError.label":"გადაცემის შეცდომა","codex.gallery.dialogs.gitPushError.subtitle":"თქვენი განშტოება origin/main-ის უკანაა.","codex.gallery.dialogs.gitPushError.title":"ცვლილებების გადაცემა ვერ მოხერხდა","codex.gallery.dialogs.gitRevert.cancel":"გაუქმება","codex.gallery.dialogs.gitRevert.confirm":"წინა ვერსიის დაბრუნება","codex.gallery.dialogs.gitRevert.label":"ცვლილებების წინა ვერსიის დაბრუნება","codex.gallery.dialogs.gitRevert.skip":"აღარ მკითხო","codex.gallery.dialogs.gitRevert.subtitle":"ეს მოქმედება ამოშლის ყველა ამ ცვლილებას.","codex.gallery.dialogs.gitRevert.title":"გსურთ ცვლილებების წინა ვერსიის დაბრუნება?","codex.gallery.dialogs.longForm.label":"გრძელი დიალოგი","codex.gallery.dialogs.proseModal.body":"მოდალური ფანჯრის ეს სტილი გამოიყენება უფრო გრძელი ინსტრუქციებისთვის, ინტეგრაციისთვის ან დატვირთული კონტენტის ბლოკებისთვის.","codex.gallery.dialogs.proseModal.close":"დახურვა","codex.gallery.dialogs.proseModal.subtitle":"გააზიარეთ გრძელი ფორმის მითითებები ან დოკუმენტაცია აქ.","codex.gallery.dialogs.proseModal.title":"ტექსტური მოდალური ფანჯარა","codex.gallery.dialogs.submitBlocked.label":"წარდგენა დაბლოკილია","codex.gallery.dialogs.submitBlocked.message":"თქვენი შეტყობინება ვერ გაიგზავნა, რადგან პროექტი მიუწვდომელია.","codex.gallery.dialogs.submitBlocked.ok":"კარგი","codex.gallery.dialogs.submitBlocked.title":"შეტყობინების გაგზავნა შეუძლებელია","codex.gallery.dialogs.title":"დიალოგები","codex.gallery.dropdown.filterPlaceholder":"ერთეულების გაფილტვრა","codex.gallery.dropdowns.actionRow":"მოქმედებების მწკრივები","codex.gallery.dropdowns.actionRow.disabled":"გათიშული მოქმედება","codex.gallery.dropdowns.actionRow.primary":"ძირითადი მოქმედება","codex.gallery.dropdowns.actionRow.secondary":"დამატებითი მოქმედება","codex.gallery.dropdowns.actionRow.trigger":"მოქმედებების ჩვენება","codex.gallery.dropdowns.basic":"ძირითადი ჩამოსაშლელი სია","codex.gallery.dropdowns.basic.newFile":"ახალი ფაილი","codex.gallery.dropdowns.basic.newFolder":"ახალი საქაღალდე","codex.gallery.dropdowns.basic.openSettings":"პარამეტრების გახსნა","codex.gallery.dropdowns.basic.title":"სწრაფი მოქმედებები","codex.gallery.dropdowns.basic.trigger":"მენიუს გახსნა","codex.gallery.dropdowns.basic.upload":"ატვირთვა","codex.gallery.dropdowns.panel":"პანელის ზედაპირი","codex.gallery.dropdowns.panel.apply":"ცვლილებების შეტანა","codex.gallery.dropdowns.panel.body":"მიმოიხილეთ სხვაობები და გამოიყენეთ თქვენს პროექტში.","codex.gallery.dropdowns.panel.preview":"გადახედვა","codex.gallery.dropdowns.panel.title":"ცვლილებების შეტანა","codex.gallery.dropdowns.panel.trigger":"პანელის გახსნა","codex.gallery.dropdowns.search":"მოძიებადი ჩამოსაშლელი სია","codex.gallery.dropdowns.search.first":"ალფა არხი","codex.gallery.dropdowns.search.second":"ბეტა განშტოება","codex.gallery.dropdowns.search.third":"გამოშვების კანდიდატი","codex.gallery.dropdowns.search.trigger":"ერთეულების გაფილტვრა","codex.gallery.dropdowns.submenu":"ჩამოსაშლელი სია ქვემენიუთი","codex.gallery.dropdowns.submenu.optionA":"პროექტი ალფა","codex.gallery.dropdowns.submenu.optionB":"პროექტი ბეტა","codex.gallery.dropdowns.submenu.optionC":"პროექტი გამა","codex.gallery.dropdowns.submenu.primary":"მფლობელის მინიჭება","codex.gallery.dropdowns.submenu.secondary":"შემდეგში გადატანა:","codex.gallery.dropdowns.submenu.tertiary":"დაარქივება","codex.gallery.dropdowns.submenu.trigger":"მოქმედების არჩევა","codex.gallery.dropdowns.title":"ჩამოსაშლელი სიები","codex.gallery.inbox.automations.close":"დახურვა","codex.gallery.inbox.automations.popover.cardTitle":"ავტომატიზაციების მართვა","codex.gallery.inbox.automations.popover.dialogTitle":"ავტომატიზაციების მართვა","codex.header.settingsTooltip":"პარამეტრები","codex.hunk.patch.error":"ინდექსირება ვერ მოხერხდა","codex.hunk.patch.missing":"ამ შეცვლილი ნაწილისთვის ჩასწორების შექმნა ვერ ხერხდება.","codex.hunk.patch.partialSuccess":"ნაწილობრივი წარმატება","codex.hunk.patch.revertError":"ინდექსირების გაუქმება ვერ მოხერხდა","codex.hunk.patch.revertSuccess":"ინდექსირება წარმატებით გაუქმდა","codex.hunk.patch.success":"წარმატებითაა ინდექსირებული","codex.legal.autonomy.details":"მეტი დეტალისთვის იხილეთ {link}","codex.legal.autonomy.details.link":"Codex-ის დოკუმენტები","codex.legal.autonomy.title":"გადაწყვიტეთ, რამდენად ვრცელი ავტონომიურობის მინიჭება გსურთ","codex.legal.backButton":"უკან","codex.legal.cloud.taskOne.meta":"openai/agi · 12 ოქტ","codex.legal.cloud.taskOne.title":"რეპოზიტორიუმის ახსნა ახალი დიზაინერისთვის","codex.legal.cloud.taskThree.meta":"openai/codex · 8 ოქტ","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"მუქი რეჟიმის თემის შექმნა","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 ოქტ","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ინტეგრაციის ხარვეზის გამოსწორება","codex.legal.continue.apikey":"გაგრძელება","codex.legal.continueButton":"შემდეგი","codex.legal.copilot.details":"იყენებს თქვენს Copilot გეგმას ყველა მოდელის გამოძახებისთვის, ბილინგისა და ტარიფის შეზღუდვისთვის. Codex-ის გაფართოების გამოყენება ექვემდებარება როგორც {oaiTos}-ს, ისე {gitHubTos}-ს.","codex.legal.copilot.gitHubTosLink":"GitHub-ის გამოყენების პირობები","codex.legal.copilot.oaiTosLink":"OpenAI Codex-ის გამოყენების პირობები","codex.legal.copilot.title":"უზრუნველყოფილია GitHub Copilot-ის მიერ","codex.legal.mistakes.review":"მის მიერ დაწერილი კოდისა და მის მიერ გაშვებული ბრძანებების მიმოხილვა","codex.legal.mistakes.title":"Codex-მა შესაძლოა შეცდომები დაუშვას","codex.legal.powered.details":"იყენებს თქვენი გეგმის ტარიფის შეზღუდვებსა და {link}-ს","codex.legal.powered.details.link":"სწავლების მონაცემთა უპირატესი პარამეტრები","codex.legal.powered.title":"უზრუნველყოფილია თქვენი ChatGPT ანგარიშის მიერ","codex.legal.step.cloud.subtitle":"გაგზავნეთ მონაცემები Codex-თან ფონურ რეჟიმში გასაშვებად, რათა ფოკუსი შეინარჩუნოთ და უფრო სწრაფად იმოძრაოთ.","codex.legal.step.cloud.title":"Codex-ისთვის გადაცემა ღრუბელზე","codex.legal.step.intro.subtitle":"ChatGPT გადადის, არედაქტირებს, უშვებს ბრძანებებს და ახორციელებს ტესტებს პირდაპირ თქვენს საცავში. უზრუნველყოფილია თქვენი ChatGPT ანგარიშის მიერ","codex.legal.step.intro.title":"Codex თქვენს IDE-ში","codex.legal.step.todo.subtitle":"დაწერეთ TODO კომენტარი და დააკონვერტირეთ იგი Codex-ის ამოცანად ერთი დაწკაპუნებით.","codex.legal.step.todo.title":"TODO-ების Codex-ის ამოცანებად ქცევა","codex.legal.todo.heading":"// TODO: სქემის იმპლემენტაცია","codex.localConversation.closeImagePreview":"სურათის გადახედვის დახურვა","codex.localConversation.userImageAttachment":"მომხმარებლის დანართი","codex.localTaskRow.archiveTask":"ნაკადის დაარქივება","codex.localTaskRow.awaitingApproval":"დამტკიცების მოლოდინში","codex.localTaskRow.awaitingResponse":"პასუხის მოლოდინში","codex.localTaskRow.confirmArchiveTask":"დადასტურება","codex.loggedOut.apiKeyPrompt.cancel":"გაუქმება","codex.loggedOut.apiKeyPrompt.confirm":"კარგი","codex.loggedOut.apiKeyPrompt.getKey":"გამოყენებითი პროგრამების ინტერფეისის გასაღების მიღება","codex.loggedOut.apiKeyPrompt.inputLabel":"შეიყვანეთ თქვენი OpenAI-ს გამოყენებითი პროგრამების ინტერფეისის გასაღები","codex.loggedOut.apiKeyPrompt.placeholder":"sk-…","codex.loggedOut.cloudTasksDisabledWithApiKey":"ღრუბლოვანი ამოცანები გათიშულია გამოყენებითი პროგრამების ინტერფეისის გასაღებით","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"ღრუბლოვანი ამოცანები გათიშულია Copilot-ითა და გამოყენებითი პროგრამების ინტერფეისის გასაღებით","codex.loggedOut.signIn":"შესვლა ChatGPT-ს მეშვეობით","codex.loggedOut.signIn.cancel":"შესვლის გაუქმება","codex.loggedOut.signInWithCopilot":"შესვლა GitHub Copilot-ის მეშვეობით","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"გამოყენებითი პროგრამების ინტერფეისის გასაღების გამოყენება","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} მოდელის კონტექსტის პროტოკოლი (MCP) {tool} ხელსაწყო","codex.mcpTool.collapsedLabel.verb.called":"გამოიძახა","codex.mcpTool.collapsedLabel.verb.calling":"მიმდინარეობს გამოძახება","codex.mcpTool.embeddedResource.contentLabel":"კონტენტი","codex.mcpTool.embeddedResource.mimeTypeLabel":"მულტიმედიური ტიპი (MIME)","codex.mcpTool.embeddedResource.uriLabel":"რესურსის იდენტიფიკატორი (URI)","codex.mcpTool.noResult":"ხელსაწყოს კონტენტი არ დაუბრუნებია","codex.mcpTool.rawPayloadHeading":"დაუმუშავებელი {server}.{tool} ხელსაწყოს გამოძახების მონაცემები","codex.menu.recent":"უახლესი","codex.menu.seeAllHistory":"მთლიანი ისტორიის ნახვა","codex.modelCapacityBanner.headline.noReset":"{modelName} ამჟამად მაქსიმალური დატვირთვით მუშაობს. სცადეთ ხელახლა მოგვიანებით, ან დაიწყეთ ახალი საუბარი სხვა მოდელთან.","codex.modelCapacityBanner.headline.withReset":"{modelName}  ამჟამად მაქსიმალური დატვირთვით მუშაობს. სცადეთ ხელახლა {resetDate}-ის შემდეგ, ან დაიწყეთ ახალი საუბარი სხვა მოდელთან.","codex.modelCapacityBanner.title":"არჩეული მოდელი ამჟამად მაქსიმალური დატვირთვით მუშაობს","codex.patch.change.contentsDeleted":"კონტენტები წაიშალა","codex.patch.change.created":"შექმნილი","codex.patch.change.created-file":"შეიქმნა ფაილი","codex.patch.change.creating":"იქმნება","codex.patch.change.deleted":"წაშლილი","codex.patch.change.deleted-file":"წაიშალა ფაილი","codex.patch.change.deleting":"მიმდინარეობს წაშლა","codex.patch.change.edited":"დარედაქტირებული","codex.patch.change.edited-file":"რედაქტირებული ფაილი","codex.patch.change.editing":"არედაქტირებს","codex.patch.change.noChanges":"ცვლილებების გარეშე","codex.patch.change.rejected-add":"უარყოფილია","codex.patch.change.rejected-delete":"უარყოფილია","codex.patch.change.rejected-edit":"უარყოფილია","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} / {total} ამოცანა შესრულდა","codex.plan.todoListCreated":"საკონტროლო სია შეიქმნა {total} ამოცანით","codex.profileDropdown.apiKeyAuth":"სისტემაში შესული გამოყენებითი პროგრამების ინტერფეისის გასაღებით","codex.profileDropdown.codexSettings":"Codex-ის პარამეტრები","codex.profileDropdown.copilotAuth":"სისტემაში შესული Copilot-ით","codex.profileDropdown.defaultAccountTitle":"ნაგულისხმევი ანგარიში","codex.profileDropdown.enterBehavior":"{modifierSymbol} + „Enter“ გრძელი მოთხოვნების გასაგზავნად","codex.profileDropdown.enterBehaviorError":"პარამეტრის განახლება ვერ მოხერხდა","codex.profileDropdown.getPlus":"განაახლეთ ვერსია უფრო მაღალი ლიმიტებისთვის","codex.profileDropdown.keyboardShortcuts":"კლავიატურის მალსახმობები","codex.profileDropdown.language":"ენა","codex.profileDropdown.languageDefault":"ავტომატური ამოცნობა","codex.profileDropdown.languageSearchPlaceholder":"ენების ძიება","codex.profileDropdown.languageUpdateError":"ენის განახლება ვერ მოხერხდა","codex.profileDropdown.logOut":"გასვლა","codex.profileDropdown.mcp":"MCP პარამეტრები","codex.profileDropdown.openConfigToml":"config.toml-ის გახსნა","codex.profileDropdown.openConfigToml.wsl":"config.toml-ის გახსნა WSL გარემოში","codex.profileDropdown.openExtensionSettings":"პარამეტრების გახსნა","codex.profileDropdown.openMcpSettings":"MCP პარამეტრების გახსნა","codex.profileDropdown.openOnStartup":"გახსნა ჩართვისას","codex.profileDropdown.openOnStartupError":"პარამეტრის განახლება ვერ მოხერხდა","codex.profileDropdown.openSkillsSettings":"უნარების პარამეტრების გახსნა","codex.profileDropdown.personalAccountTitle":"პირადი ანგარიში","codex.profileDropdown.queueFollowUps":"შემდგომი ნაბიჯების რიგში ჩასმა","codex.profileDropdown.queueFollowUpsError":"პარამეტრის განახლება ვერ მოხერხდა","codex.profileDropdown.readDocs":"დოკუმენტების წაკითხვა","codex.profileDropdown.readSkillsDocs":"დოკუმენტების წაკითხვა","codex.profileDropdown.runInWsl":"WSL-ში გაშვება","codex.profileDropdown.runInWslError":"პარამეტრის განახლება ვერ მოხერხდა","codex.profileDropdown.runInWslTooltip":"უშვებს Codex-ს WSL-ში. რეკომენდებულია გაუმჯობესებული ოპერაციული გარემოს აბსტრაქციის უსაფრთხოებისა და უკეთესი მწარმოებლურობისთვის.","codex.profileDropdown.settings":"IDE პარამეტრები","codex.profileDropdown.settingsPage":"პარამეტრები","codex.profileDropdown.signInWithOpenAI":"შესვლა ChatGPT-ს მეშვეობით","codex.profileDropdown.skills":"უნარების პარამეტრები","codex.profileDropdown.switchToCopilotAccount":"Copilot-ის მომხმარებლის ანგარიშის გამოყენება","codex.profileDropdown.switchToOpenAIAccount":"OpenAI-ს ანგარიშის გამოყენება","codex.profileDropdown.todoCodelens":"TODO კომენტარების გამოსწორება","codex.profileDropdown.todoCodelensError":"პარამეტრის განახლება ვერ მოხერხდა","codex.profileDropdown.windowsDocumentation":"Windows დოკუმენტაცია","codex.profileFooter.signedInFallback":"პარამეტრები","codex.profileFooter.upgrade":"განახლება","codex.recentTasksMenu.clearSearch":"ძიების გასუფთავება","codex.recentTasksMenu.cloud":"ღრუბლოვანი ამოცანები","codex.recentTasksMenu.count":"{count, plural, =0 {არცერთი ამოცანა არ მუშავდება} one {# ამოცანა მუშავდება} other {# ამოცანები მუშავდებიან}}","codex.recentTasksMenu.empty":"ჯერჯერობით ნაკადების გარეშე","codex.recentTasksMenu.errorCloud":"ამოცანების ჩატვირთვა ვერ მოხერხდა.","codex.recentTasksMenu.errorCloud.inline":"ღრუბლოვანი ამოცანების ჩატვირთვა ვერ მოხერხდა.","codex.recentTasksMenu.filterAll":"ყველა","codex.recentTasksMenu.filterCloudTasks":"ღრუბლოვანი ამოცანების გაფილტვრა","codex.recentTasksMenu.filterTooltip":"ამოცანების გაფილტვრა გარემოს მიხედვით","codex.recentTasksMenu.local":"ადგილობრივი ამოცანები","codex.recentTasksMenu.recent":"ყველა ამოცანა","codex.recentTasksMenu.search":"უახლესი ამოცანების ძიება","codex.recentTasksMenu.searchEmpty":"შედეგის გარეშე","codex.recentTasksMenu.tooltip":"ამოცანის ისტორია","codex.recentTasksMenu.trigger":"უახლესი ამოცანები. {count, plural, one {# მუშავდება} other {# მუშავდება}}","codex.remoteConversation.applyDiff.applyCta":"ცვლილებების შეტანა","codex.remoteConversation.applyDiff.dropdownTitle":"ცვლილებების შეტანა ადგილობრივ განშტოებაში","codex.remoteConversation.applyDiff.revertCta":"ცვლილებების წინა ვერსიის დაბრუნება","codex.remoteConversation.closeImagePreview":"სურათის გადახედვის დახურვა","codex.remoteConversation.codexCloudTask":"თქვენ ათვალიერებთ <u>Codex-ის ღრუბლოვან</u> ამოცანას","codex.remoteConversation.errorWithMessage":"შეცდომა: {message}","codex.remoteConversation.loadingImage":"სურათი იტვირთება","codex.remoteConversation.openInWeb":"ვებში გახსნა","codex.remoteConversation.streaming":"დაწყება","codex.remoteConversation.turnFailed":"ამ ამოცანისას მოხდა შეცდომა","codex.remoteConversation.turnTab.loading":"მცდელობა {number}","codex.remoteConversation.turnTab.title":"მცდელობა {number}","codex.remoteConversation.userImageAttachment":"მომხმარებლის დანართი","codex.remoteConversation.viewPreviousTurns":"ვებში გახსნა","codex.remoteConversation.viewPreviousTurns.buttonText":"გახსნა","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ვებში გახსნა","codex.review.copyGitApplyCommand":"Git apply ბრძანების კოპირება","codex.review.copyGitApplyCommand.toast":"გაცვლის ბუფერში კოპირებულია git apply ბრძანება","codex.review.diffTooLarge.description":"ეს სხვაობა ზედმეტად დიდია მიმოხილვაში წარმოსაჩენად.","codex.review.diffTooLarge.title":"სხვაობა ზედმეტად დიდია წარმოსაჩენად","codex.review.expandOrCollapseDiffButton.collapse":"ყველა diff-ის ჩაკეცვა","codex.review.expandOrCollapseDiffButton.expand":"ყველა diff-ის გაშლა","codex.review.expandOrCollapseDiffMenu.collapse":"ყველა diff-ის ჩაკეცვა","codex.review.expandOrCollapseDiffMenu.expand":"ყველა diff-ის გაშლა","codex.review.fileSearch.clear":"ფაილის ფილტრის გასუფთავება","codex.review.fileSearch.empty":"არცერთი ფაილი არ ემთხვევა მიმდინარე ფილტრს.","codex.review.fileSearch.label":"ფაილების გაფილტვრა","codex.review.fileSearch.placeholder":"ფაილების გაფილტვრა…","codex.review.filesChanged":"{num, plural, =0 {ფაილები არ შეცვლილა} one {# ფაილი შეიცვალა} other {# ფაილი შეიცვალა}}","codex.review.find.loadMore":"მეტი დამთხვევის ჩატვირთვა","codex.review.fullReview.hideFileTree":"ფაილის ხის დამალვა","codex.review.fullReview.showFileTree":"ფაილის ხის ჩვენება","codex.review.header.moreOptions":"ვარიანტების მიმოხილვა","codex.review.largeDiff.banner":"ამოცნობილია ვრცელი სხვაობა — თითო ჯერზე ერთი ფაილია ნაჩვენები.","codex.review.loadFullFiles.disable":"არ ჩაიტვირთოს მთლიანი ფაილები","codex.review.loadFullFiles.enable":"მთლიანი ფაილების ჩატვირთვა","codex.review.noDiff":"ფაილის ცვლილებები აქ გამოჩნდება","codex.review.noDiff.gitInit.createRepository":"Git რეპოზიტორიუმის შექმნა","codex.review.noDiff.gitInit.creating":"იქმნება…","codex.review.noDiff.gitInit.error":"Git ინიციალიზაცია წარუმატებელია: {message}","codex.review.noDiff.gitInit.success":"Git რეპოზიტორიუმი შექმნილია","codex.review.noDiff.gitRepoRequired.description":"ამ პროექტში ცვლილებებისთვის თვალის დევნება და გაუქმება","codex.review.noDiff.gitRepoRequired.title":"Git რეპოზიტორიუმის შექმნა","codex.review.noDiff.orNoLongerAvailable":"ან უახლესი diff-ები აღარ არის ხელმისაწვდომი","codex.review.noDiff.reverted":"ბოლო ნაბიჯი წინა ვერსიაზე დაბრუნდა","codex.review.noDiff.revertedOrCommitted":"ბოლო ნაბიჯი წინა ვერსიაზე დაბრუნდა ან დაფიქსირდა","codex.review.refreshGitQueries":"განახლება","codex.review.revert.file.error":"{path}-ის წინა ვერსიის დაბრუნება ვერ მოხერხდა","codex.review.revert.file.partialSuccess":"{path} ნაწილობრივ დაბრუნდა წინა ვერსიაზე","codex.review.revert.file.success":"{path} დაბრუნდა წინა ვერსიაზე","codex.review.revert.hunk.error":"ვერ მოხერხდა {hunkNumber}-ლი ნაწილის დაბრუნება {path}-ში.","codex.review.revert.hunk.partialSuccess":"ნაწილობრივ იქნა დაბრუნებული ცვლილება {hunkNumber}, {path}-ში.","codex.review.revert.hunk.success":"ჰანკი {hunkNumber} დაბრუნდა {path}-ში.","codex.review.revert.section.error":"სექციის წინა ვერსიის დაბრუნება ვერ მოხერხდა","codex.review.revert.section.partialSuccess":"სექცია ნაწილობრივ დაბრუნდა წინა ვერსიაზე","codex.review.revert.section.success":"სექცია დაბრუნდა წინა ვერსიაზე","codex.review.revertDialog.cancel":"გაუქმება","codex.review.revertDialog.confirm":"დადასტურება","codex.review.revertDialog.message":"ეს მოქმედება ამოშლის ყველა ამ ცვლილებას.","codex.review.revertDialog.skip":"აღარ მკითხო","codex.review.revertDialog.title":"გსურთ ცვლილებების წინა ვერსიის დაბრუნება?","codex.review.richPreview.disable":"გაფართოებული გადახედვის გათიშვა","codex.review.richPreview.enable":"გაფართოებული გადახედვის ჩართვა","codex.review.source.cloud":"Cloud ცვლილებები","codex.review.source.local.all":"ყველა ბრენჩის ცვლილება","codex.review.source.local.lastTurn":"ბოლო ნაბიჯის ცვლილებები","codex.review.source.local.uncommitted":"შეუნახავი ცვლილებები","codex.review.source.worktree":"სამუშაო დირექტორიის დაუფიქსირებელი ცვლილებები","codex.review.stageFilter.empty.staged.description":"დაეთანხმეთ ჩასწორებებს მათი ინდექსირებისთვის","codex.review.stageFilter.empty.staged.title":"ინდექსირებული ცვლილებების გარეშე","codex.review.stageFilter.empty.unstaged.description":"კოდის ცვლილებები აქ გამოჩნდება","codex.review.stageFilter.empty.unstaged.title":"არაინდექსირებული ცვლილებების გარეშე","codex.review.stageFilter.staged":"ინდექსირებული","codex.review.stageFilter.staged.count":"ინდექსირებული · {count}","codex.review.stageFilter.unstaged":"არაინდექსირებული","codex.review.stageFilter.unstaged.count":"არაინდექსირებული · {count}","codex.review.switchToSplit":"გაყოფილ სხვაობაზე გადართვა","codex.review.switchToUnified":"ერთიან სხვაობაზე გადართვა","codex.review.toggleDiffView":"Diff-ის ხედის გადართვა","codex.review.wordDiffs.disable":"სიტყვის სხვაობების გათიშვა","codex.review.wordDiffs.enable":"სიტყვის სხვაობების ჩართვა","codex.review.wrap.disable":"ახალ ხაზზე გადატანის გათიშვა","codex.review.wrap.enable":"ახალ ხაზზე გადატანის ჩართვა","codex.section.patch.missing":"ამ სექციისთვის ჩასწორების შექმნა ვერ ხერხდება.","codex.shell.collapse":"შელის ჩაკეცვა","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"შელის კონტენტი კოპირებულია","codex.shell.copy.copyTooltip":"შელის კონტენტის კოპირება","codex.shell.copyCommand":"ბრძანების კოპირება","codex.shell.copyOutput":"გამოტანის კოპირება","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"შელის გაშლა","codex.shell.name":"შელი","codex.shell.noOutput":"გამომავალი მონაცემების გარეშე","codex.signInFailed.message":"შესვლა ვერ მოხერხდა: {rawMessage}","codex.stories.toast.show":"უწყების ჩვენება","codex.stories.tooltip.basic":"ეს მინიშნებაა","codex.stories.tooltip.hoverMe":"გადამატარე","codex.stories.tooltip.largerOffset":"ამ რჩევის ფანჯარას უფრო დიდი დაშორება აქვს","codex.stories.tooltip.offsetButton":"უფრო დიდი წანაცვლება","codex.stories.tooltip.shortcutButton":"მალსახმობით","codex.stories.tooltip.withShortcut":"ტერმინალის გადართვა","codex.taskRow.title":"ახალი ნაკადი","codex.taskRowLayout.confirm":"დადასტურება","codex.threadFindBar.chatFilter":"ჩეთში ძიება","codex.threadFindBar.close":"პოვნის ველის დახურვა","codex.threadFindBar.diffFilter":"სხვაობების ძიება","codex.threadFindBar.label":"ნაკადში პოვნა","codex.threadFindBar.nextResult":"შემდეგი შედეგი","codex.threadFindBar.noResults":"0 შედეგი","codex.threadFindBar.placeholder":"ნაკადში ძიება…","codex.threadFindBar.placeholder.extension":"ნაკადში ძიება…","codex.threadFindBar.placeholder.review":"სხვაობის ძიება…","codex.threadFindBar.placeholder.review.extension":"სხვაობის ძიება…","codex.threadFindBar.previousResult":"წინა შედეგი","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# ფაილი შეიცვალა} other {# ფაილები შეიცვალა}}","codex.unifiedDiff.inlineLargeFile":"ზედმეტად ვრცელია ტექსტში წარმოსაჩენად","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"მოქმედების გაუქმება","codex.unifiedDiff.revertPatchError":"ცვლილებების წინა ვერსიის დაბრუნება ვერ მოხერხდა","codex.unifiedDiff.revertPatchSuccess":"ცვლილებები წინა ვერსიაზე დაბრუნდა","codex.unifiedDiff.reviewChangesSuffix":"ცვლილებები","codex.unifiedDiff.reviewShort":"მიმოხილვა","codex.unifiedDiff.viewDiffTooltip":"მიმოხილვა","codex.upsellBanner.business.headline":"მეტი წვდომის ახლავე მისაღებად გაუგზავნეთ მოთხოვნა თქვენს ადმინისტრატორს ან დაიცადეთ {resetDate}-მდე.","codex.upsellBanner.cbp.headline":"მეტი წვდომის ახლავე მისაღებად გაუგზავნეთ მოთხოვნა თქვენს ადმინისტრატორს.","codex.upsellBanner.cta.addCredits":"კრედიტების დამატება","codex.upsellBanner.cta.upgradeAccount":"განახლება","codex.upsellBanner.cta.viewUsage":"მოხმარების ნახვა","codex.upsellBanner.free.trialHeadline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}. Codex-ის გამოყენების გასაგრძელებლად და GPT-5.3-Codex-ზე წვდომის მისაღებად დაიწყეთ Plus-ის თქვენი უფასო საცდელი პერიოდი დღეს.","codex.upsellBanner.freeOrGo.headline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}. Codex-ის გამოყენების გასაგრძელებლად გადადით Plus-ზე დღეს.","codex.upsellBanner.general.headline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}.","codex.upsellBanner.general.title":"თქვენ ამოგეწურათ Codex-ის შეტყობინებები","codex.upsellBanner.go.trialHeadline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}. Codex-ის გამოყენების გასაგრძელებლად დაიწყეთ Plus-ის თქვენი უფასო საცდელი პერიოდი დღეს.","codex.upsellBanner.plus.headline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}. Codex-ის გამოყენების გასაგრძელებლად დაამატეთ კრედიტები ან გადადით Pro-ზე დღეს.","codex.upsellBanner.pro.headline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}. დაამატეთ კრედიტები ახლა Codex-ის გამოყენების გასაგრძელებლად.","codex.userMessage.autoResolveSync":"წინააღმდეგობების ავტომატური გადაჭრა","codex.userMessage.commentCount":"{count, plural, one {# კომენტარი} other {# კომენტარები}}","codex.userMessage.copiedAriaLabel":"კოპირებულია","codex.userMessage.copiedTooltip":"კოპირებულია","codex.userMessage.copyAriaLabel":"შეტყობინების კოპირება","codex.userMessage.copyTooltip":"კოპირება","codex.userMessage.implementPlan":"გეგმის განხორციელება","codex.userMessage.noContent":"(კონტენტის გარეშე)","codex.userMessage.priorConversation":"იყენებს ინფორმაციას წინა საუბარიდან","codex.userMessage.reviewMode":"მიმოხილვის რეჟიმი","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}-ისთვის","codex.webSearch.summary.verb.completed":"ვებში ძიება შესრულდა","codex.webSearch.summary.verb.inProgress":"მიმდინარეობს ვებში ძიება","codex.windowsInstallWslBanner.dismiss":"დახურვა","codex.windowsInstallWslBanner.installWslCta":"ოპერაციული გარემოს აბსტრაქციის ჩართვა","codex.windowsInstallWslBanner.learnMore":"ვრცლად","codex.windowsSandboxBanner.content":"აგენტის რეჟიმი იყენებს ექსპერიმენტულ ოპერაციული გარემოს აბსტრაქციას Windows-ზე ფაილთა სისტემასა და ქსელზე წვდომის შეზღუდვისთვის. {sandboxLink}","codex.windowsSandboxBanner.title":"ოპერაციული გარემოს აბსტრაქციის ჩართვა აგენტის რეჟიმისთვის","codex.windowsSubDropdown.windowsSandbox":"Windows ოპერაციული გარემოს აბსტრაქცია","codex.windowsSubDropdown.windowsSettings":"Windows პარამეტრები","codexUpgradeModal.body":"ჩვენი უახლესი მოწინავე აგენტური კოდირების მოდელი — უფრო ჭკვიანი, უფრო სწრაფი და უფრო ქმედუნარიანი ზოგად ტექნიკურ სამუშაოში. {link}","codexUpgradeModal.close":"დახურვა","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"ვრცლად","codexUpgradeModal.title":"წარმოგიდგენთ GPT-5.3-Codex-ს","codexUpgradeModal.tryNewModel":"ცადეთ GPT-5.3-Codex ახლავე","codexUpgradeModal.useExistingModel":"მიმდინარე მოდელით გაგრძელება","commentAttachments.numComments":"{count, plural, one {# კომენტარი} other {# კომენტარები}}","commentAttachments.removeAriaLabel":"კომენტარების დანართის ამოშლა","common.close":"დახურვა","composer.addContext.openFilePickerError":"ფაილის ამომრჩევის გახსნა ვერ ხერხდება","composer.addContextDropdown.ariaLabel":"ფაილების დამატება და მეტი","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ფაილების დამატება და მეტი","composer.addPhotosAndFiles":"ფოტოების და ფაილების დამატება","composer.atMentionList.emptyQuery":"აკრიფეთ ფაილების ძიებისთვის","composer.atMentionList.loading":"იძებნება…","composer.atMentionList.noResults":"შედეგები არ არის","composer.attemptsSelector.option":"{count, plural, one {# ვერსია} other {# ვერსიები}}","composer.attemptsSelector.tooltip":"Codex-ის მიერ შესასრულებელი პარალელური მცდელობების რაოდენობა","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"შეწყვეტა","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"ადგილობრივი","composer.cloudFollowUp.whereRun":"სად უნდა გაეშვას ეს გაგრძელება?","composer.cloudTaskCreationError":"შეცდომა ღრუბლოვანი ამოცანის შექმნისას","composer.cloudTaskError":"შეცდომა ამოცანის შექმნისას","composer.contextWindow.autoCompactionTooltipLine1":"Codex ავტომატურად კუმშავს თავის კონტექსტს","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"კონტექსტის ფანჯარა:","composer.contextWindowUsageStatusFull":"ათვისებულია {usage} %","composer.contextWindowUsageStatusLeft":"{usage}% გამოყენებულია (დარჩენილია {remaining}%)","composer.contextWindowUsageTooltip":"გამოყენებულია {usedTokens}ათასი {contextWindow}ათასი ჟეტონიდან","composer.customCliTooltip":"გამოყნებულია მორგებული შესრულებადი CLI","composer.dictation.aria":"კარნახი","composer.dictation.cancel.aria":"კარნახის შეწყვეტა","composer.dictation.cancel.tooltip":"კარნახის შეწყვეტა","composer.dictation.startError":"კარნახის დაწყება ვერ ხერხდება","composer.dictation.submit.aria":"ტრანსკრიბირება და გაგზავნა","composer.dictation.submit.tooltip":"ტრანსკრიბირება და გაგზავნა","composer.dictation.tooltip":"დააჭირეთ კარნახისთვის","composer.dictation.transcribeError":"აუდიოს ტრანსკრიბირება ვერ ხერხდება","composer.dictation.unsupported":"კარნახი არ არის ხელმისაწვდომი ამ მოწყობილობაზე","composer.dropOverlay.holdShift":"არ აუშვათ {key}-ს გადასატანად","composer.dropOverlay.shiftKey":"შიფტი","composer.environmentSelector.createNew":"ახლის შექმნა","composer.environmentSelector.error":"შეცდომა გარემოების ჩატვირთვისას","composer.environmentSelector.goBack":"შემდგენელში დაბრუნება","composer.environmentSelector.title":"გარემოს არჩევა","composer.environmentSelector.tooltip":"ღრუბლოვანი გარემოს არჩევა","composer.feedbackSlashCommand.title":"გამოხმაურება","composer.filePicker.selectFile":"ფაილის არჩევა","composer.filePicker.selectFiles":"ფაილების არჩევა","composer.followerTooltip":"გასაგრძელებლად დაბრუნდით ფანჯარაზე, სადაც ეს საუბარი დაიწყო.","composer.footer.branchSwitch.checkoutError":"განშტოების გადართვა წარუმატებელია: {message}","composer.footer.branchSwitch.createAndCheckout":"ახალი განშტოების შექმნა და გამოტანა…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"დააფიქსირეთ ცვლილებები ახალი განშტოების შექმნისა და გამოტანისთვის","composer.footer.branchSwitch.createBranchError":"განშტოების შექმნა ვერ მოხერხდა: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"განშტოების სახელი","composer.footer.branchSwitch.createDialog.branchExistsError":"განშტოება უკვე არსებობს.","composer.footer.branchSwitch.createDialog.close":"დახურვა","composer.footer.branchSwitch.createDialog.createAndCheckout":"შექმნა და გამოტანა","composer.footer.branchSwitch.createDialog.placeholder":"ახალი-განშტოება","composer.footer.branchSwitch.createDialog.title":"განშტოების შექმნა და გამოტანა","composer.footer.branchSwitch.createDialog.trailingSlashError":"განშტოების სახელი არ შეიძლება მთავრდებოდეს შემდეგით: „/“.","composer.footer.branchSwitch.tooltip":"განშტოების გადართვა","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"დააფიქსირეთ ცვლილებები {fileCount, plural, one {# ფაილი} other {# ფაილი}}-ში, რომ გადართოთ {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"კომიტი","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"ცვლილებები {fileCount, plural, one {# ფაილი} other {# ფაილი}}-ში, რომ გადართოთ {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"გაუქმება","composer.footer.branchSwitch.uncommittedDialog.commit":"დააფიქსირეთ და გადართეთ განშტოება...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"თქვენს ფაილებში შეტანილი ცვლილებები გადაიწერება განშტოების გადართვისას:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"დააფიქსირეთ ცვლილებები გასაგრძელებლად","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"არჩეული განშტოება","composer.footer.branchSwitch.uncommittedDialog.title":"დააფიქსირეთ ცვლილებები განშტოების გადასართავად","composer.footer.branchSwitch.uncommittedSummaryPrefix":"დაუფიქსირებელი: {fileCount, plural, one {# ფაილი} other {# ფაილი}}","composer.forkSlashCommand.description":"ამ ნაკადის განშტოება ადგილობრივ ან ახალ სამუშაო დირექტორიაში","composer.forkSlashCommand.option.local.description":"ახალ ადგილობრივ ნაკადში გაგრძელება","composer.forkSlashCommand.option.local.title":"ადგილობრივში განშტოება","composer.forkSlashCommand.option.worktree.description":"ახალ სამუშაო დირექტორიაში გაგრძელება","composer.forkSlashCommand.option.worktree.title":"ახალ სამუშაო დირექტორიაში განშტოება","composer.forkSlashCommand.title":"განშტოება","composer.ideContextIndicator":"ინტეგრირებული განვითარების გარემოს კონტექსტი","composer.ideContextIndicator.tooltipSlashCommand":"/ინტეგრირებული განვითარების გარემო","composer.ideContextIndicator.tooltipText":"კონტექსტის დართვა ინტეგრირებული განვითარების გარემოდან","composer.ideContextIndicator.tooltipToggle":"გადასართავად","composer.ideContextSlashCommand.disableDescription":"ინტეგრირებული განვითარების გარემოს კონტექსტის გამორთვა","composer.ideContextSlashCommand.enableDescription":"დაურთეთ მიმდინარე მონიშვნა, ღია ფაილები და სხვა კონტექსტი თქვენი ინტეგრირებული განვითარების გარემოდან","composer.ideContextSlashCommand.title":"ინტეგრირებული განვითარების გარემოს კონტექსტი","composer.imageInputsUnsupported":"ამ მოდელის მიერ არ არის მხარდაჭერილი სურათის შენატანები. ცადეთ სხვა მოდელი.","composer.imageUploadFailed":"სურათის ატვირთვა ვერ მოხერხდა","composer.includeIdeContextDropdown":"ინტეგრირებული განვითარების გარემოს (IDE) კონტექსტის დამატება","composer.includeIdeContextDropdown.ariaLabel":"ინტეგრირებული განვითარების გარემოს (IDE) კონტექსტის დამატება","composer.localCwdDropdown.addWorkspaceRoot":"ახალი პროექტის დამატება","composer.localCwdDropdown.noActiveRoot":"თქვენი პროექტის არჩევა","composer.localCwdDropdown.noResults":"საქაღალდეები ვერ მოიძებნა","composer.localCwdDropdown.title":"თქვენი პროექტის არჩევა","composer.localTaskError":"შეცდომა საუბრის დაწყებისას","composer.mcpSlashCommand.description":"მოდელის კონტექსტის პროტოკოლის (MCP) სერვერის სტატუსის სიმულაცია","composer.mcpSlashCommand.title":"მოდელის კონტექსტის პროტოკოლი (MCP)","composer.mcpStatus.authLoggedOut":"არ არის ავტორიზებული","composer.mcpStatus.authOauth":"ავტორიზებული (OAuth)","composer.mcpStatus.authToken":"ავტორიზებული (გამოყენებითი პროგრამების ინტერფეისის გასაღები)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"დახურვა","composer.mcpStatus.disabled":"გამორთული","composer.mcpStatus.emptyLabel":"სერვერები:","composer.mcpStatus.emptyValue":"არცერთი MCP სერვერი არ არის კონფიგურირებული","composer.mcpStatus.enabled":"გააქტიურებული","composer.mcpStatus.errorLabel":"სტატუსი:","composer.mcpStatus.errorValue":"MCP სტატუსის ჩატვირთვა ვერ ხერხდება","composer.mcpStatus.heading":"მოდელის კონტექსტის პროტოკოლი (MCP)","composer.mode.agentMode.auto":"აგენტი","composer.mode.agentMode.auto.dropdownLabel":"აგენტი","composer.mode.agentMode.auto.optionLabel":"აგენტი","composer.mode.agentMode.changePermission":"რეჟიმის გადართვა","composer.mode.agentMode.custom":"მორგებული","composer.mode.agentMode.custom.dropdownLabel":"მორგებული","composer.mode.agentMode.custom.option":"მორგებული (config.toml)","composer.mode.agentMode.custom.optionLabel":"მორგებული (config.toml)","composer.mode.agentMode.customInfo.cancel":"გაუქმება","composer.mode.agentMode.customInfo.cli":"ამ პარამეტრების კორექტირება CLI-დან ან პირდაპირ ფაილის რედაქტირებით შეგიძლიათ.","composer.mode.agentMode.customInfo.confirm":"მორგებული რეჟიმის გამოყენება","composer.mode.agentMode.customInfo.description":"მორგებული რეჟიმი იყენებს დამტკიცებისა და ოპერაციული გარემოს აბსტრაქციის წესებს, როგორც ეს აღწერილია თქვენს <link>config.toml</link> ფაილი.","composer.mode.agentMode.customInfo.docs":"ვრცლად დამტკიცებისა და ოპერაციული გარემოს აბსტრაქციის წესების კონფიგურაციის შესახებ <link>შესრულების გარემოს დოკუმენტებში</link>.","composer.mode.agentMode.customInfo.refresh":"ნებისმიერი ცვლილება ძალაში შევა აგენტის შემდეგი გაშვებისას.","composer.mode.agentMode.customInfo.title":"მორგებული რეჟიმის მუშაობის პრინციპი","composer.mode.agentMode.fullAccess":"აგენტი (სრული წვდომა)","composer.mode.agentMode.fullAccess.dropdownLabel":"აგენტი (სრული წვდომა)","composer.mode.agentMode.fullAccess.optionLabel":"აგენტი (სრული წვდომა)","composer.mode.agentMode.fullAccessConfirm.caution":"გამოიჩინეთ სიფრთხილე სრული წვდომის ჩართვისას. ეს მნიშვნელოვნად ზრდის მონაცემთა დაკარგვის, გაჟონვის თუ მოულოდნელი ქცევის რისკს.","composer.mode.agentMode.fullAccessConfirm.confirm":"დიახ, მაინც მსურს გაგრძელება","composer.mode.agentMode.fullAccessConfirm.description":"როდესაც Codex სრული წვდომითაა გაშვებული, მას თქვენს კომპიუტერზე ნებისმიერი ფაილის რედაქტირება და ქსელით ბრძანებების გაშვება შეუძლია, თქვენი დამტკიცების გარეშე.","composer.mode.agentMode.fullAccessConfirm.goBack":"გაუქმება","composer.mode.agentMode.fullAccessConfirm.title":"გსურთ სრული წვდომის მინიჭება?","composer.mode.agentMode.readOnly":"ჩეთი","composer.mode.agentMode.readOnly.dropdownLabel":"ჩეთი","composer.mode.agentMode.readOnly.optionLabel":"ჩეთი","composer.mode.agentMode.tooltip":"რეჟიმის გადართვა","composer.mode.agentMode.tooltip.auto":"ფაილების წაკითხვა და რედაქტირება, ასევე ბრძანებების გაშვება.","composer.mode.agentMode.tooltip.custom":"დამტკიცების და ოპერაციული გარემოს აბსტრაქციის უახლესი წესების გამოყენება, რომელიც განსაზღვრლია config.toml-ში.","composer.mode.agentMode.tooltip.fullAccess":"Codex-ს შეუძლია ფაილების რედაქტირება ამ პროექტის გარეთ და ბრძანებების გაშვება ქსელზე წვდომით. გამოყენებისას გამოიჩინეთ სიფრთხილე.","composer.mode.agentMode.tooltip.readOnly":"საჭიროებს დამტკიცებას ფაილების რედაქტირებისა და ბრძანებების გაშვებისთვის.","composer.mode.cloud.tooltip":"ღრუბლოვან გარემოში მუშაობა","composer.mode.contactAdmin":"მეტი წვდომის მისაღებად დაუკავშირდით თქვენს ადმინისტრატორს","composer.mode.local":"ადგილობრივი","composer.mode.local.learnMore":"ვრცლად","composer.mode.local.model.custom":"მორგებული","composer.mode.local.model.loadingModel":"მოდელი იტვირთება","composer.mode.local.model.selecrReasoningEffort":"ღრმად დაფიქრების არჩევა","composer.mode.local.model.selectModel":"მოდელის არჩევა","composer.mode.local.model.tooltip":"მოდელის არჩევა","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"მაღალი","composer.mode.local.reasoning.low.label":"დაბალი","composer.mode.local.reasoning.medium.label":"საშუალო","composer.mode.local.reasoning.minimal.label":"მინიმალური","composer.mode.local.reasoning.none.label":"არცერთი","composer.mode.local.reasoning.xhigh.label":"განსაკუთრებით მაღალი","composer.mode.localRemoteWhereRun":"აირჩიეთ, სად გაუშვათ ამოცანა","composer.mode.newTask.header":"გაგრძელება შემდეგში:","composer.mode.rateLimit.day":"{days}დ","composer.mode.rateLimit.heading":"ტარიფის დარჩენილი ლიმიტი","composer.mode.rateLimit.hour":"{hours}სთ","composer.mode.rateLimit.minute":"{minutes}წთ","composer.mode.rateLimit.modelSectionLabel":"{modelName}-იანი ლიმიტი:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ყოველკვირეული ლიმიტი} other {{weeks}-კვირიანი შეზღუდული}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ყოველკვირეული} other {{weeks} კვირა}}","composer.mode.remote.connectToCloud":"Codex ვების დაკავშირება","composer.mode.remote.connectToCloudDisabledTooltip":"გარემოს დაყენება Codex ვების მეშვეობით ამოცანების ღრუბელზე გაგზავნის ჩასართავად","composer.mode.remote.selectEnvironment":"გარემოს არჩევა","composer.mode.remote.sendToCloud":"ღრუბელზე გაგზავნა","composer.mode.remote.setupViaWeb":"გარემოს დაყენება Codex ვების მეშვეობით","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ღრუბლოვან გარემოში მუშაობა","composer.mode.segmentedToggle.local.tooltip":"თქვენს ადგილობრივ პროექტში მუშაობა","composer.mode.segmentedToggle.worktree.tooltip":"პარალელურ სამუშაო დირექტორიაში მუშაობა","composer.mode.upgradeToPlus":"Plus-ზე გადასვლა","composer.mode.upgradeToPro":"Pro-ს გამოწერა","composer.mode.workLocally":"ადგილობრივი პროექტი","composer.mode.workLocally.currentBranchFallback":"თქვენი განშტოება","composer.mode.workLocally.tooltip":"{branchName}-ზე მუშაობა","composer.mode.worktree":"ახალი worktree","composer.mode.worktree.submoduleWarning":"ამ რეპოზიტორიუმს აქვს Git ქვემოდულები. სამუშაო დირექტორიის შექმნა შესაძლოა წარუმატებელი იყოს","composer.mode.worktree.tooltip":"შექმენით თქვენი პროექტის ასლი პარალელურად მუშაობისთვის","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"მოდელების საუბრის მიმდინარეობისას შეცვლა მწარმოებლურობას შეამცირებს.","composer.newChat.heading.browser":"რისი კოდი დავწეროთ შემდეგში?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex იყენებს config.toml-ში განსაზღვრულ ნებართვას.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex-ს აქვს სრული წვდომა თქვენს კომპიუტერზე (გაზრდილი რისკი)","composer.permissionsDropdown.custom.label":"მორგებული (config.toml)","composer.permissionsDropdown.custom.optionLabel":"მორგებული (config.toml)","composer.permissionsDropdown.default.label":"ნაგულისხმევი ნებართვები","composer.permissionsDropdown.default.optionLabel":"ნაგულისხმევი ნებართვები","composer.permissionsDropdown.default.tooltip":"Codex ავტომატურად უშვებს ბრძანებებს ოპერაციული გარემოს აბსტრაქციაში","composer.permissionsDropdown.disabled.requirements":"ნებართვები ჩაკეტილია requirements.toml-ის მიერ","composer.permissionsDropdown.fullAccess.disabled":"სრული წვდომა გათიშულია requirements.toml-ის მიერ","composer.permissionsDropdown.fullAccess.label":"სრული წვდომა","composer.permissionsDropdown.fullAccess.optionLabel":"სრული წვდომა","composer.permissionsDropdown.trigger.tooltip":"ნებართვების შეცვლა","composer.personalitySlashCommand.description.friendly":"თბილი, თანამშრომლობითი და სასარგებლო","composer.personalitySlashCommand.description.pragmatic":"მოკლე, ამოცანაზე ფოკუსირებული და პირდაპირი","composer.personalitySlashCommand.label.friendly":"მეგობრული","composer.personalitySlashCommand.label.pragmatic":"პრაგმატული","composer.personalitySlashCommand.notApplicableSuffix":"(არ მიესადაგება მიმდინარე მოდელს)","composer.personalitySlashCommand.title":"პიროვნულობა","composer.placeholder.cloudFollowUp.directFollowUp":"ამ ღრუბლოვანი ამოცანის გაგრძელება","composer.placeholder.cloudFollowUp.local":"ახალი ადგილობრივი ამოცანის შექმნა, რომელიც იმოწმებს ამ ღრუბლოვან ამოცანას","composer.placeholder.cloudFollowUp.workingTree":"ახალი ადგილობრივი ამოცანის შექმნა, რომელიც მოიცავს თქვენს მიმდინარე კოდს და დაიმოწმებს ამ ამოცანას","composer.placeholder.localFollowUp.cloud":"ახალი ღრუბლოვანი ამოცანის გაგრძელება","composer.placeholder.localFollowUp.locally":"შემდგომი ცვლილებების მოთხოვნა","composer.placeholder.newTask.cloud":"სთხოვეთ Codex-ს ნებისმიერი რამის შესრულება ღრუბელში","composer.placeholder.newTask.doAnything":"სთხოვეთ Codex-ს ნებისმიერი რამის შესრულება","composer.placeholder.newTask.locally":"ჰკითხეთ Codex-ს ნებისმიერი რამ, @ ფაილების დასამატებლად, / ბრძანებებისთვის","composer.planModeDropdown":"გეგმის რეჟიმი","composer.planModeDropdown.ariaLabel":"გეგმის რეჟიმი","composer.planModeIndicator":"გეგმა","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"გეგმის შექმნა Codex-თან ერთად","composer.planModeIndicator.tooltipToggle":"გადასართავად","composer.planSlashCommand.disableDescription":"გეგმის რეჟიმის გამორთვა","composer.planSlashCommand.enableDescription":"გეგმის რეჟიმის ჩართვა","composer.planSlashCommand.title":"გეგმის რეჟიმი","composer.priorContext.label":"წინა კონტექსტი","composer.priorContext.removeAriaLabel":"წინა კონტექსტის ამოშლა","composer.queuedMessage.delete":"რიგში მყოფი შეტყობინების წაშლა","composer.queuedMessage.edit":"შეტყობინების რედაქტირება","composer.queuedMessage.more":"რიგში მყოფი შეტყობინების მოქმედებები","composer.queuedMessage.sendNow":"ხელმძღვანელობა","composer.queuedMessage.sendNowTooltip":"ახლავე გაგზავნა სამუშაოს შეწყვეტის გარეშე","composer.queuedMessage.turnOff":"რიგში ჩაყენების გამორთვა","composer.reasoningEffort.local.reasoning.tooltip":"ღრმად დაფიქრების ძალისხმევის არჩევა","composer.remote.branchStartingPoint":"რომელი განშტოებით უნდა იწყებოდეს ეს ამოცანა?","composer.remote.branchesSectionHeading":"განშტოებები","composer.remote.currentEditsSuffix.followUp":"ახალი ამოცანის შექმნა, რომელიც იმოწმებს ამ ღრუბლოვან ამოცანას.","composer.remote.currentEditsSuffix.useLocal":"კოდის ადგილობრივი ცვლილებებით","composer.remote.directFollowUp":"არ იქნეს გამოყენებული ადგილობრივი ცვლილებები","composer.remote.errorLoadingBranches":"შეცდომა დაფიქსირდა განშტოებების ჩატვირთვისას","composer.remote.fromBranch":"{branch}-დან","composer.remote.fromCurrentBranch":"{branch}-დან (მიმდინარე)","composer.remote.loadingMoreBranches":"იტვირთება...","composer.remote.localFileStateHeading":"ადგილობრივი ფაილის მდგომარეობა","composer.remote.localWorkingTree":"ადგილობრივი ცვლილებების გამოყენება","composer.remote.startingPoint":"რომელი კოდით უნდა იწყებოდეს ეს ამოცანა?","composer.reviewMode.branches.error":"განშტოებების ჩატვირთვა ვერ მოხერხდა","composer.reviewMode.branches.retry":"ხელახლა ცდა","composer.reviewMode.gitRoot.error":"Git-ის ძირი არ მოიძებნა","composer.reviewMode.option.baseBranch.simple":"მიმოხილვა საბაზისო განშტოებასთან მიმართებით","composer.reviewMode.option.unstaged.simple":"დაუფიქსირებელი ცვლილებების მიმოხილვა","composer.reviewMode.quickReviewError":"კოდის მიმოხილვის დაწყება ვერ მოხერხდა.","composer.reviewMode.title":"კოდის შემოწმება","composer.sandboxButton.unlock.disabled.tooltip":"სრული წვდომა გათიშულია requirements.toml-ის მიერ","composer.sandboxButton.windowsSandboxDialog.content":"Codex-ს შეუძლია ექსპერიმენტულ ოპერაციული გარემოს აბსტრაქციის გამოყენება Windows-ზე ფაილთა სისტემასა და ქსელზე წვდომის შეზღუდვისთვის. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"ჩაირთოს Windows ოპერაციული გარემოს აბსტრაქცია?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"მხოლოდ წაკითხვისთვის გამოყენება","composer.searchEnvironments":"გარემოების ძებნა","composer.skillMentionList.app":"აპი","composer.skillMentionList.loading":"უნარები იტვირთება…","composer.skillMentionList.noResults":"უნარები არ არის ნაპოვნი","composer.slashCommands.cloudEnvironment.title":"Cloud გარემო","composer.slashCommands.dialogLabel":"სლეშ ბრძანების მენიუ","composer.slashCommands.dialogTitle":"სლეშ ბრძანებები","composer.slashCommands.disabledTooltip":"ახალი საუბრის დაწყება სლეშ ბრძანებების გამოსაყენებლად","composer.slashCommands.inputPlaceholder":"ძიება","composer.slashCommands.noResults":"ბრძანებების გარეშე","composer.slashCommands.skillsGroup":"უნარები","composer.slashCommands.tooltip":"სლეშ ბრძანებების დათვალიერება","composer.status.close":"დახურვა","composer.statusPlain.alertLabel":"გაფრთხილება:","composer.statusPlain.alertValue":"დარჩენილია {remaining} % {window}-ზე","composer.statusPlain.contextLabel":"კონტექსტი:","composer.statusPlain.contextTotal":"{count}(ათასი)","composer.statusPlain.contextValueMetadata":"(გამოყენებულია {used} / {total})","composer.statusPlain.contextValueRemaining":"დარჩენილია {remaining} %","composer.statusPlain.heading":"სტატუსი","composer.statusPlain.modelRateLimitSectionLabel":"{modelName}-იანი ლიმიტი:","composer.statusPlain.rateLimitDays":"{count}დღე ლიმიტი","composer.statusPlain.rateLimitFallbackLabel":"სიჩქარის ლიმიტი:","composer.statusPlain.rateLimitHours":"{count}სთ ლიმიტი","composer.statusPlain.rateLimitLabelBase":"სიჩქარის ლიმიტი","composer.statusPlain.rateLimitMinutes":"{count}წთ ლიმიტი","composer.statusPlain.rateLimitPercent":"დარჩენილია {remaining} %","composer.statusPlain.rateLimitReset":"განახლდება {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"გადაყენების დრო მიუწვდომელია","composer.statusPlain.rateLimitUnavailable":"მიუწვდომელია","composer.statusPlain.sessionCopiedAriaLabel":"სესიის ID კოპირებულია","composer.statusPlain.sessionCopiedTooltip":"ID კოპირებულია","composer.statusPlain.sessionCopyAriaLabel":"სესიის ID-ს კოპირება","composer.statusPlain.sessionCopyTooltip":"ID-ს კოპირება","composer.statusPlain.sessionLabel":"სესია:","composer.statusSlashCommand.description":"ნაკადი ID-ს, კონტექტის გამოყენებისა და სიჩქარის შეზღუდვების ჩვენება","composer.statusSlashCommand.title":"სტატუსი","composer.submit.blockedDialogOk":"კარგი","composer.submit.blockedDialogTitle":"შეტყობინების გაგზავნა შეუძლებელია","composer.submit.emptyMessage":"დასაწყებად შეიყვანეთ შეტყობინება","composer.submit.imageInputsUnsupported":"ამოშალეთ სურათები ან გადართეთ მოდელები ამ შეტყობინების გასაგზავნად.","composer.submit.loadingLocalConfig":"იტვირთება...","composer.submit.missingCloudConfig":"უნდა აირჩიოთ ღრუბლოვანი გარემო","composer.submit.missingCloudTurn":"ამ ამოცანის გაგრძელება შეუძლებელია","composer.submit.noWorkspace":"დაამატეთ პროექტი Codex-ის გამოსაყენებლად","composer.submit.waitForImageUploads":"სურათები იტვირთება…","composer.submitButtonTooltip.send":"გაგზავნა","composer.submitButtonTooltip.stop":"შეწყვეტა","composer.worktreeEnvironment.create":"ადგილობრივი გარემოს შექმნა","composer.worktreeEnvironment.default":"ნაგულისხმევი გარემო","composer.worktreeEnvironment.error":"შეცდომა გარემოების ჩატვირთვისას","composer.worktreeEnvironment.loading":"გარემოები იტვირთება…","composer.worktreeEnvironment.title":"ადგილობრივი გარემო","composer.worktreeEnvironment.tooltip":"ადგილობრივი გარემოს არჩევა","composer.worktreeSetupFailed":"სამუშაო დირექტორიის დაყენება წარუმატებელია. შეამოწმეთ .codex/environments დაყენების სცენარისთვის.","compoundButton.secondaryAction":"მეორადი მოქმედება","copyButton.copied":"კოპირებულია","copyButton.copiedAriaLabel":"კოპირებულია","copyButton.copy":"კოპირება","copyButton.copyAriaLabel":"კოპირება","copyButton.copyCode":"კოდის კოპირება","diff.actionButton.revertFile":"ფაილის წინა ვერსიის დაბრუნება","diff.actionButton.revertHunk":"წინა ვერსიის დაბრუნება","diff.actionButton.revertSection":"ყველაფრის წინა ვერსიის დაბრუნება","diff.actionButton.revertSectionLabel":"ყველაფრის წინა ვერსიის დაბრუნება","diff.actionButton.stageFile":"ფაილის ინდექსირება","diff.actionButton.stageHunk":"ინდექსირება","diff.actionButton.stageSection":"ყველაფრის ინდექსირება","diff.actionButton.stageSectionLabel":"ყველაფრის ინდექსირება","diff.actionButton.unstageFile":"ფაილის ინდექსირების გაუქმება","diff.actionButton.unstageHunk":"ინდექსირების გაუქმება","diff.actionButton.unstageSection":"ყველაფრის ინდექსირების გაუქმება","diff.actionButton.unstageSectionLabel":"ყველაფრის ინდექსირების გაუქმება","diff.fileHeader.toggle":"ფაილის სხვაობის გადართვა","electron.onboarding.login.apikey.cancel":"გაუქმება","electron.onboarding.login.apikey.continue":"გაგრძელება","electron.onboarding.login.apikey.label":"OpenAI-ს გამოყენებითი პროგრამების ინტერფეისის გასაღები","electron.onboarding.login.apikey.open":"გამოყენებითი პროგრამების ინტერფეისის გასაღების შეყვანა","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"შესვლის გაუქმება","electron.onboarding.login.chatgpt.continue":"ChatGPT-თ გაგრძელება","electron.onboarding.login.devbox":"დისტანციურ SSH-თან დაკავშირება","electron.onboarding.login.error":"შესვლა ვერ მოხერხდა: {rawMessage}","electron.onboarding.login.snake.start":"Snake-ის თამაში","electron.onboarding.login.sshConfig.cancel":"გაუქმება","electron.onboarding.login.sshConfig.continue":"გაგრძელება","electron.onboarding.login.sshConfig.hostnameLabel":"SSH ჰოსტის სახელი","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"საუკეთესო გზა აგენტებთან ერთად შესაქმნელად","electron.onboarding.login.title":"მოგესალმებათ Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"გაგრძელება","electron.onboarding.welcome.doubleLimits.description":"Codex-ის აპის ჩაშვების აღსანიშნავად 2 აპრილამდე გამოყენების გაორმაგებული ლიმიტები გაქვთ.","electron.onboarding.welcome.freego.description":"Codex უფასოდ შედის თქვენს გეგმაში 2 მარტამდე — მოდით, ერთად შექმნა დავიწყოთ.","electron.onboarding.welcome.new.title.anon":"მოგესალმებით!","electron.onboarding.workspace.continue":"გაგრძელება","electron.onboarding.workspace.empty":"დაამატეთ პროექტი გასაგრძელებლად.","electron.onboarding.workspace.listLabel":"ხელმისაწვდომი პროექტები","electron.onboarding.workspace.loading":"პროექტები იტვირთება…","electron.onboarding.workspace.openFolder":"პროექტის დამატება","electron.onboarding.workspace.selectAll":"ყველას არჩევა","electron.onboarding.workspace.skip":"გამოტოვება","electron.onboarding.workspace.skip.error":"ახალი პროექტის შექმნა ვერ მოხერხდა: {message}","electron.onboarding.workspace.skip.error.unknown":"უცნობი შეცდომა","electron.onboarding.workspace.skipping":"მიმდინარეობს ახალი პროექტის შექმნა…","electron.onboarding.workspace.subtitle":"Codex შეძლებს ფაილების რედაქტირებას და ბრძანებების გაშვებას არჩეულ საქაღალდეებში.","electron.onboarding.workspace.title":"აირჩიეთ პროექტი","errorPage.list.checkSettings":"ცადეთ თქვენი IDE პარამეტრების განახლება","errorPage.list.configToml":"შეამოწმეთ თქვენი config.toml არასწორ პარამეტრებზე","errorPage.list.downloadExtension":"ცადეთ გაფართოების განსხვავებული ვერსიის ჩამოტვირთვა","errorPage.list.runInWsl":"შეამოწმეთ თქვენი პარამეტრები WSL-ში გაშვების გასათიშად, თუ შესაბამისობის პრობლემებს აწყდებით","execApprovalRequest.menu.runAlways":"დიახ, და მეტი აღარ მკითხო ამ სესიაზე","execApprovalRequest.menu.runAlwaysWithAmendment":"დიახ და აღარ მკითხო ბრძანებებისთვის, რომლებიც იწყება შემდეგით: {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"დიახ და აღარ მკითხო ბრძანებებისთვის, რომლებიც იწყება შემდეგით:","execApprovalRequest.menu.runOnce":"დიახ","execApprovalRequest.prompt":"გსურთ ამ ბრძანების გაშვება?","execApprovalRequest.reject":"არა","execFooter.exitCode":"გასვლის კოდი {code}","execFooter.exitCode.unknown":"უცნობი","execFooter.success":"წარმატებით შესრულდა","feedback.dialog.category.badResult":"ცუდი შედეგი","feedback.dialog.category.bug":"ხარვეზი","feedback.dialog.category.goodResult":"კარგი შედეგი","feedback.dialog.category.other":"სხვა","feedback.dialog.descriptionPlaceholder":"აღწერეთ პრობლემა აქ","feedback.dialog.dismiss":"დახურვა","feedback.dialog.includeLogsLabel":"Codex-ის სესიის მიმდინარე პროტოკოლების გამოყენება","feedback.dialog.submit":"წარდგენა","feedback.dialog.submitError":"თქვენი გამოხმაურება ვერ წარვადგინეთ. ცადეთ ხელახლა რამდენიმე წუთში.","feedback.dialog.title":"გამოხმაურება","feedback.dialog.uploadedMessage.existingIssue":"არსებული ღია პრობლემა","feedback.dialog.uploadedMessage.openIssue":"GitHub-ის პრობლემის გახსნა","feedback.dialog.uploadedMessage.withThread":"გამოხმაურება ატვირთულია. თუ პრობლემა არ მოგვარდება, {openIssueLink} ან მოიხსენიეთ ნაკადის ID {existingIssueLink}-ში.","feedback.dialog.uploadedTitle":"გამოხმაურება ატვირთულია","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename}-ის ამოშლა","header.back":"უკან","header.recentChats":"ამოცანები","header.recentTasks.seeAll":"ყველას ნახვა ({total})","home.header.getPlus":"Plus გამოწერის გაფორმება","home.hero.letsBuild":"მოდით, შევქმნათ","homePage.mainContent":"მთავარი კონტენტი","imageAttachment.defaultName":"სურათი","imageAttachment.preview.close":"სურათის გადახედვის დახურვა","imageAttachment.removeAriaLabel":"{filename}-ის ამოშლა","implementPlanRequest.option.implement":"დიახ, განხორციელდეს ეს გეგმა","implementPlanRequest.prompt":"გსურთ ამ გეგმის განხორციელება?","inbox.archived.deleteError":"დაარქივებული გაშვების წაშლა ვერ მოხერხდა","inbox.archived.deleteRun":"დაარქივებული გაშვების წაშლა","inbox.archived.deleteSuccess":"დაარქივებული ნაკადი წაიშალა. იხილეთ <settingsLink>დაარქივებულ ნაკადებში</settingsLink>.","inbox.archived.inlineLabel.auto":"ეს ნაკადი ავტომატურად დაარქივდა. <learnMoreLink>ვრცლად</learnMoreLink>","inbox.archived.inlineLabel.manual":"ეს ნაკადი დაარქივდა.","inbox.archived.noMessageFound":"შეტყობინება არ არის ნაპოვნი","inbox.automations.createError":"ავტომატიზაციის შექმნა ვერ მოხერხდა","inbox.automations.deleteConfirm.cancel":"გაუქმება","inbox.automations.deleteConfirm.confirm":"ავტომატიზაციის წაშლა","inbox.automations.deleteConfirm.description":"ეს სამუდამოდ წაშლის ავტომატიზაციას და შეწყვეტს ყველა მომავალ გაშვებას.","inbox.automations.deleteConfirm.title":"გსურთ {name}-ის წაშლა?","inbox.automations.deleteError":"ავტომატიზაციის წაშლა ვერ მოხერხდა","inbox.automations.editTooltip":"ავტომატიზაციის რედაქტირება","inbox.automations.inProgress":"მუშავდება","inbox.automations.new":"ახალი","inbox.automations.newToolbar":"ახალი ავტომატიზაცია","inbox.automations.pauseTooltip":"ავტომატიზაციის შეჩერება","inbox.automations.resumeTooltip":"ავტომატიზაციის გაგრძელება","inbox.automations.startingNow":"ახლა იწყება","inbox.automations.startsIn":"დაიწყება: {startTime}","inbox.automations.status.active":"აქტიური","inbox.automations.status.paused":"შეჩერებული","inbox.automations.status.runs":"{count} გაშვება","inbox.automations.status.started":"დაწყების დრო: {date}","inbox.automations.updateError":"ავტომატიზაციის განახლება ვერ მოხერხდა","inbox.automations.workspaceFallback":"-","inbox.filter.all":"ყველა","inbox.filter.ariaLabel":"შემოსულების ერთეულების გაფილტვრა","inbox.filter.unread":"წაუკითხავი","inbox.list.archived":"დაარქივებული","inbox.list.inProgress":"მუშავდება","inbox.list.recent":"დასრულებული","inbox.list.upNext":"დაგეგმილი","inbox.mode.automations":"ავტომატიზაციები","inbox.mode.automations.beta":"ბეტა","inbox.noDescription":"აღწერილობა არ არის წარმოდგენილი","inbox.openThread":"ნაკადის გახსნა","inbox.rightPanel.emptySubtitle":"სამუშაოს ავტომატიზაცია დაგეგმილი ამოცანების დაყენებით","inbox.rightPanel.emptySubtitle.learnMore":"სამუშაოს ავტომატიზაცია დაგეგმილი ნაკადების დაყენებით. <link>ვრცლად</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# აქტიური ავტომატიზაცია} other {# აქტიური ავტომატიზაცია}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"წაუკითხავი ავტომატიზაციების გარეშე","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# წაუკითხავი ავტომატიზაცია} other {# წაუკითხავი ავტომატიზაცია}}","inbox.rightPanel.emptyTitle":"ერთეული არჩეული არ არის","inbox.rightPanel.noThread":"ამ ერთეულისთვის ნაკადი არ არის","inbox.rightPanel.quickStart.header":"შაბლონით დაწყება","inbox.untitled":"შემოსულების უსათაურო ერთეული","loadingPage.documentationLink":"დოკუმენტაცია","loadingPage.errorDescription":"Codex ავარიულად გაითიშა შემდეგი შეცდომით:","loadingPage.errorDescription.documentation":"დააწკაპუნეთ ხელახლა ჩატვირთვაზე Codex-ის გაფართოების გადასატვირთად ან ეწვიეთ ჩვენს {documentationLink}-ს დამატებითი დახმარებისთვის.","loadingPage.errorSignal":"რისი ცდა შეგიძლიათ:","loadingPage.errorTitle":"დაფიქსირდა შეცდომა","loadingPage.openConfigToml":"Config.toml-ის გახსნა","loadingPage.reload":"ხელახლა ჩატვირთვა","localConversation.contextCompacted":"კონტექსტი ავტომატურად შეკუმშდა","localConversation.contextCompacting":"კონტექსტის ავტომატური შეკუმშვა","localConversation.forkedFromConversation":"განშტოებულია {threadTitle}-დან","localConversation.merge.autoResolve.failed":"ავტომატური გადაჭრის მოთხოვნა წარუმატებელია: {error}","localConversation.merge.autoResolve.sent":"ავტომატური გადაჭრის მოთხოვნა გაგზავნილია","localConversation.merge.autoResolveMerge.missingConversation":"ავტომატური გადაჭრა შეუძლებელია აქტიური საუბრის გარეშე.","localConversation.merge.autoResolveMerge.request":"გაერთიანების წინააღმდეგობების ავტომატური გადაჭრა","localConversation.modelChanged":"მოდელი შეიცვალა {fromModel}-დან {toModel}-ზე.","localConversation.modelChanged.warning.line1":"მოდელების საუბრის მიმდინარეობისას შეცვლა მწარმოებლურობას შეამცირებს.","localConversation.modelChanged.warning.line2":"კონტექსტი შესაძლოა ავტომატურად შეიკუმშოს","localConversation.moveThread.createBranch.label":"განშტოების შექმნა","localConversation.moveToLocal.disabled.loading":"იტვირთება...","localConversation.moveToLocal.modal.continue":"გაგრძელება","localConversation.moveToLocal.modal.destinationLabel":"შემდეგში გადატანა:","localConversation.moveToLocal.modal.retry":"ხელახლა ცდა","localConversation.moveToWorktree.modal.back":"უკან","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"განშტოება უკვე არსებობს.","localConversation.moveToWorktree.modal.branchesError":"განშტოებების ჩატვირთვა ვერ მოხერხდა","localConversation.moveToWorktree.modal.branchesLoading":"განშტოებები იტვირთება…","localConversation.moveToWorktree.modal.branchesRetry":"ხელახლა ცდა","localConversation.moveToWorktree.modal.continue":"გაგრძელება","localConversation.moveToWorktree.modal.retry":"ხელახლა ცდა","localConversation.moveToWorktree.modal.trailingSlashError":"განშტოების სახელი არ შეიძლება მთავრდებოდეს შემდეგით: „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ახალი-განშტოება","localConversation.personalityChanged":"გადაერთო {personality} პიროვნულობაზე","localConversation.planSummary.collapse":"გეგმის შეჯამების ჩაკეცვა","localConversation.planSummary.collapseTooltip":"ჩაკეცვა","localConversation.planSummary.download":"გეგმის ჩამოტვირთვა","localConversation.planSummary.expand":"გეგმის შეჯამების გაშლა","localConversation.planSummary.expandTooltip":"გაშლა","localConversation.planSummary.openInNewWindow":"გახსნა","localConversation.planSummary.openInNewWindow.tooltip":"ახალ ფანჯარაში გახსნა","localConversation.planSummary.title":"გეგმა","localConversation.planSummary.titleWriting":"წერის გეგმა","localConversation.planSummary.viewPlan":"გეგმის გაშლა","localConversation.remoteTaskCreated":"შეიქმნა {taskLink} Codex Cloud-ში","localConversation.remoteTaskCreated.task":"ამოცანა","localConversation.scrollToBottomButton":"ქვედა ნაწილში გადაადგილება","localConversation.sync.buttonLabel":"ადგილობრივზე გადაცემა","localConversation.sync.buttonLabel.tooltip":"ცვლილებების გადაცემა ამ სამუშაო დირექტორიასა და თქვენს ლოკალურ სისტემიდან გასვლას შორის.","localConversation.sync.modal.loading.title":"მიმდინარეობს ცვლილებების გადაცემა…","localConversation.sync.modal.noChanges":"ცვლილებების გარეშე","localConversation.syncSetup.branchAriaLabel":"განშტოების სახელი","localConversation.syncSetup.branchName":"განშტოების სახელი","localConversation.syncSetup.branchPlaceholder.existing":"არსებული განშტოების არჩევა","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"განშტოებები იტვირთება…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"უკვე შემოწმებულია","localConversation.syncSetup.checkoutClean":"ამჟამად {branchName}-ზე","localConversation.syncSetup.checkoutDirty":"ამჟამად {branchName}-ზე დაუფიქსირებელი ცვლილებებით","localConversation.syncSetup.checkoutError":"განშტოების შემოწმება წარუმატებელია: {message}","localConversation.syncSetup.checkoutLabel":"ადგილობრივად ახლა შემოწმება","localConversation.syncSetup.checkoutOnLocal":"ადგილობრივზე გადაცემა","localConversation.syncSetup.checkoutPending":"ადგილობრივი სტატუსი მოწმდება…","localConversation.syncSetup.checkoutUnavailable":"ადგილობრივი სამუშაო სივრცე არ არის ხელმისაწვდომი","localConversation.syncSetup.checkoutUnknown":"ადგილობრივი განშტოება მიუწვდომელია","localConversation.syncSetup.continue":"გაგრძელება","localConversation.syncSetup.createBranchError":"გადაცემის განშტოების დაყენება წარუმატებელია: {message}","localConversation.syncSetup.error":"შეფერხებაა: {message}","localConversation.syncSetup.error.workingTreeMissing":"სამუშაო დირექტორიის მდგომარეობის აღბეჭდვა ვერ ხერხდება. ცადეთ ხელახლა გადაცემა.","localConversation.syncSetup.mode.ariaLabel":"განშტოების რეჟიმის არჩევა","localConversation.syncSetup.mode.existing":"არსებული განშტოება","localConversation.syncSetup.mode.new":"ახალი განშტოება","localConversation.syncSetup.noBranches":"განშტოებები არ არის ნაპოვნი","localConversation.syncSetup.overwriteError":"განშტოება შექმნილია, მაგრამ სრულად არ არის გადაცემული. გადაეცით ხელით ადგილობრივად შემოწმებამდე.","localConversation.syncSetup.setPrefix":"პრეფიქსის დაყენება","localConversation.syncSetup.subtitle":"სამუშაო დირექტორიის ცვლილებების ადგილობრივად შემოწმება და რედაქტირება. <a>ვრცლად</a>","localConversation.syncSetup.success.checkedOut":"განშტოება შეიქმნა და ადგილობრივად შემოწმდა","localConversation.syncSetup.success.notCheckedOut":"განშტოება შექმნილია","localConversation.syncSetup.title":"ადგილობრივ განშტოებაზე გადაცემა","localConversation.syncWorktreeError.branchAriaLabel":"განშტოების სახელი","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"აირჩიეთ გადასაცემი განშტოება, შემდეკი კი ცვლილებების ხელახლა ჩატვირთვა ცადეთ.","localConversation.syncWorktreeError.branchSetup.title":"განშტოების განახლება","localConversation.syncWorktreeError.branchUpdate.cta":"განახლება და ხელახლა ცდა","localConversation.syncWorktreeError.branchUpdate.error":"განშტოების განახლება წარუმატებელია: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"შეფერხებაა: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"განშტოება არ არის შემოწმებული არცერთ სამუშაო დირექტორიაში.","localConversation.syncWorktreeV2.applyUncommitted":"ცვლილებების შეტანა","localConversation.syncWorktreeV2.applyUncommitted.disabled":"განშტოება ადგილობრივად უნდა შეამოწმოთ დაუფიქსირებელი ცვლილებების მისადაგებისთვის","localConversation.syncWorktreeV2.branches.empty":"განშტოებები არ არის ნაპოვნი","localConversation.syncWorktreeV2.branches.loading":"განშტოებები იტვირთება…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"გადაცემის განშტოების შეცვლა","localConversation.syncWorktreeV2.changeBranch.error":"გადაცემის განშტოების შეცვლა წარუმატებელია: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"მისადაგება წარუმატებელია","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"სამუშაო დირექტორიის გადაწერა წარუმატებელია","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ადგილობრივის გადაწერა წარუმატებელია","localConversation.syncWorktreeV2.commandError.back":"უკან","localConversation.syncWorktreeV2.commandError.body":"Git ბრძანება გადაცემისას შეცდომით დასრულდა. მიმოიხილეთ გამოტანა და ცადეთ ხელახლა.","localConversation.syncWorktreeV2.commandError.retry":"ხელახლა ცდა","localConversation.syncWorktreeV2.description":"ცვლილებების გადაცემა ადგილობრივსა და ამ სამუშაო დირექტორიას შორის <a>ვრცლად</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"გადაცემის მიმართულების არჩევა","localConversation.syncWorktreeV2.error.generic":"გადაცემისას მოხდა შეცდომა. ცადეთ ხელახლა.","localConversation.syncWorktreeV2.localBranchLabel":"ადგილობრივი","localConversation.syncWorktreeV2.noChanges":"მიმდინარეობს ცვლილებების გამოთვლა","localConversation.syncWorktreeV2.noChanges.summary":"ცვლილებების გარეშე","localConversation.syncWorktreeV2.overwrite.local":"ადგილობრივის გადაწერა","localConversation.syncWorktreeV2.overwrite.worktree":"სამუშაო დირექტორიის გადაწერა","localConversation.syncWorktreeV2.partial.action.applyFailed":"ცვლილებების შეტანა ვერ მოხერხდა","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ადგილობრივი ცვლილებების გადაწერა ვერ მოხერხდა","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"სამუშაო დირექტორიის ცვლილებების გადაწერა ვერ მოხერხდა","localConversation.syncWorktreeV2.partial.appliedLabel":"შეტანილი","localConversation.syncWorktreeV2.partial.back":"უკან","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"გადაჭერით წინააღმდეგობები და ცადეთ ხელახლა.","localConversation.syncWorktreeV2.partial.conflictsLabel":"წინააღმდეგობები","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ფაილი} other {# ფაილი}}","localConversation.syncWorktreeV2.partial.retry":"ხელახლა ცდა","localConversation.syncWorktreeV2.partial.skippedLabel":"გამოტოვებული","localConversation.syncWorktreeV2.stateFailed.generic":"სამუშაო დირექტორიის გადასაცემი ცვლილებების მიღებისას მოხდა შეცდომა. ცადეთ ხელახლა.","localConversation.syncWorktreeV2.stateFailed.title":"სამუშაო დირექტორიების ცვლილებების ჩატვირთვა წარუმატებელია","localConversation.syncWorktreeV2.statusError.diffUnknown":"სამუშაო დირექტორიების ცვლილებების ჩატვირთვა წარუმატებელია.","localConversation.syncWorktreeV2.statusError.retry":"ხელახლა ცდა","localConversation.syncWorktreeV2.statusError.title":"ადგილობრივი განშტოების ცვლილებების ჩატვირთვა ვერ ხერხდება","localConversation.syncWorktreeV2.statusError.unknown":"განშტოების სტატუსი ამჟამად მიუწვდომელია. ცადეთ ხელახლა.","localConversation.syncWorktreeV2.success.apply":"ცვლილებები წარმატებითაა შეტანილი","localConversation.syncWorktreeV2.success.overwrite":"გადაცემა წარმატებულია","localConversation.syncWorktreeV2.title":"ცვლილებების გადაცემა","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"ეკითხება {count, plural, one {შეკითხვას} other {შეკითხვებს}}","localConversation.userInputRequest.noAnswer":"წარმოდგენილი პასუხის გარეშე","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"იკითხა","localConversation.userInputRequest.summary.count":"{count, plural, one {# შეკითხვა} other {# შეკითხვა}}","localConversation.workedFor":"იმუშავა {time}","localConversation.worktreeBranchSetup.action.create":"შექმნა","localConversation.worktreeBranchSetup.branchAriaLabel":"განშტოების სახელი","localConversation.worktreeBranchSetup.branchPlaceholder.new":"ახალი განშტოების შექმნა","localConversation.worktreeBranchSetup.checkoutDisabled":"ეს განშტოება უკვე შემოწმებულია {location}-ზე","localConversation.worktreeBranchSetup.checkoutError":"განშტოების შემოწმება წარუმატებელია: {message}","localConversation.worktreeBranchSetup.createBranchError":"განშტოების დაყენება წარუმატებელია: {message}","localConversation.worktreeBranchSetup.error":"შეფერხებაა: {message}","localConversation.worktreeBranchSetup.subtitle":"შექმენით განშტოება ცვლილებების დაფიქსირებისთვის, გადაცემისთვის და PR-ის შესაქმნელად ამ სამუშაო დირექტორიიდან. <a>ვრცლად</a>","localConversation.worktreeBranchSetup.title":"იმუშავეთ აქ","localConversationPage.addWorktreeToSidebar.tooltip":"შეინახეთ, როგორც პროექტი, რათა ახალი ნაკადები ამ სამუშაო დირექტორიიდან დაიწყოთ","localConversationPage.addWorktreeToSidebarError":"პროექტის დამატება წარუმატებელია","localConversationPage.commitAndCreatePrModal.errorTitle":"დაფიქსირება და PR-ის შექმნა წარუმატებელია","localConversationPage.commitAndCreatePrModal.successTitle":"დაფიქსირდა და PR შეიქმნა","localConversationPage.commitAndPushModal.errorTitle":"დაფიქსირება და გადაცემა წარუმატებელია","localConversationPage.commitAndPushModal.successTitle":"ცვლილებები დაფიქსირდა და გადაიცა","localConversationPage.commitCreatePr.open":"შეტანის მოთხოვნის გახსნა","localConversationPage.commitCreatePr.successTitle":"PR შეიქმნა თქვენი უახლესი ცვლილებებით","localConversationPage.createBranchButtonLabel":"აქ განშტოება","localConversationPage.createPrModal.baseBranch":"საბაზისო","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR-ის შექმნა","localConversationPage.createPrModal.createDescription":"გახსენით შეტანის მოთხოვნა თქვენი უახლესი ცვლილებებისთვის.","localConversationPage.createPrModal.errorTitle":"შეტანის მოთხოვნა წარუმატებელია","localConversationPage.createPrModal.headBranch":"ზედა რიგი","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR-ის გახსნა","localConversationPage.createPrModal.successTitle":"შეტანის მოთხოვნა შექმნილია","localConversationPage.createPrModal.title":"შეტანის მოთხოვნის შექმნა","localConversationPage.createPrModal.viewDescription":"შეტანის მოთხოვნა უკვე არსებობს ამ განშტოებისთვის.","localConversationPage.createPrModal.viewTitle":"შეტანის მოთხოვნა მზადაა","localConversationPage.createPullRequestAuthGh":"GitHub CLI-ს ავთენტიფიკაცია: გაუშვით „gh auth login“","localConversationPage.createPullRequestBranchMissing":"განშტოების ინფორმაცია მიუწვდომელია","localConversationPage.createPullRequestButtonLabel":"PR-ის შექმნა","localConversationPage.createPullRequestButtonLabel.loading":"იქმნება PR…","localConversationPage.createPullRequestDefaultBranchMissing":"ნაგულისხმევი განშტოების ინფორმაცია მიუწვდომელია","localConversationPage.createPullRequestError":"შეტანის მოთხოვნის შექმნა ვერ მოხერხდა","localConversationPage.createPullRequestExistingPullRequest":"შეტანის მოთხოვნა უკვე არსებობს ამ განშტოებაში","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI სტატუსი იტვირთება…","localConversationPage.createPullRequestInstallGh":"დააინსტალირეთ GitHub CLI (gh) PR-ების შესაქმნელად","localConversationPage.createPullRequestNoRepo":"Git რეპოზიტორიუმები არ არის ნაპოვნი","localConversationPage.createPullRequestPushStatusMissing":"გადაცემის სტატუსი იტვირთება…","localConversationPage.createPullRequestSetUpstream":"გაგზავნეთ ეს განშტოება PR-ის შექმნამდე","localConversationPage.createPullRequestSuccessToast":"შეტანის მოთხოვნა შექმნილია","localConversationPage.createPullRequestSwitchBranch":"შეამოწმეთ ფუნქციის განშტოება PR-ის შექმნამდე","localConversationPage.error.render":"შეცდომა ადგილობრივი საუბრის რენდერისას","localConversationPage.error.toast":"საუბარი არ იძებნება","localConversationPage.forcePushError":"იძულებით გადაცემა წარუმატებელია","localConversationPage.generatePullRequestMessageError":"შეტანის მოთხოვნის სათაურისა და ძირითადი ტექსტის გენერირება ვერ მოხერხდა","localConversationPage.generatePullRequestMessageFailed":"შეტანის მოთხოვნის სათაურისა და ძირითადი ტექსტის გენერირება ვერ მოხერხდა.","localConversationPage.gitActionResult.branch":"განშტოება","localConversationPage.gitActionResult.cancel":"გაუქმება","localConversationPage.gitActionResult.close":"დახურვა","localConversationPage.gitActionResult.tryAgain":"ხელახლა ცდა","localConversationPage.gitActions":"Git მოქმედებები","localConversationPage.newChat":"ახალი ჩეთი","localConversationPage.openInTarget":"გაიხსნას აქ:","localConversationPage.openPrimaryTarget":"გახსნა","localConversationPage.planItemsCompleted":"{completedItems} {totalItems, plural, one {# ამოცანა შესრულდა} other {# ამოცანები შესრულდა}}-დან","localConversationPage.pushAuthError":"გადაცემა წარუმატებელია: სავალდებულოა ავთენტიფიკაცია","localConversationPage.pushBranchMissing":"განშტოების ინფორმაცია მიუწვდომელია","localConversationPage.pushButtonLabel":"გაგზავნა","localConversationPage.pushButtonLabel.loading":"მიმდინარეობს გადაცემა…","localConversationPage.pushError":"ცვლილებების გადაცემა ვერ მოხერხდა","localConversationPage.pushModal.branchLabel":"განშტოება","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"გაუქმება","localConversationPage.pushModal.confirm":"გადაცემა","localConversationPage.pushModal.description":"გადაეცით თქვენი უახლესი დაფიქსირებები დისტანციურ რეპოზიტორიუმს.","localConversationPage.pushModal.errorTitle":"გადაცემა წარუმატებელია","localConversationPage.pushModal.forcePush":"იძულებით გადაცემა","localConversationPage.pushModal.successTitle":"გადაცემა დასრულებულია","localConversationPage.pushModal.title":"ცვლილებების გადაცემა","localConversationPage.pushModal.tryAgain":"ხელახლა ცდა","localConversationPage.pushNoUpstream":"დააყენეთ საწყისი კოდი ამ განშტოების ჩართვამდე","localConversationPage.pushNoUpstreamError":"გადაცემა წარუმატებელია: არცერთი მონაცემის ნაკადი ცენტრალური კვანძისკენ არ არის კონფიგურირებული","localConversationPage.pushNothingToPush":"ახალი გასაგზავნი დაფიქსირებების გარეშე","localConversationPage.pushRemoteChangedError":"გადაცემა წარუმატებელია: დისტანციურ სერვერზე ახალი დაფიქსირებებია","localConversationPage.pushRemoteRejectedError":"გადაცემა უარყოფილია დისტანციური სერვერის მიერ","localConversationPage.pushStatusMissing":"გადაცემის სტატუსი იტვირთება…","localConversationPage.pushSuccessToast":"ცვლილებები გადაცემულია","localConversationPage.viewPullRequestButtonLabel":"PR-ის ნახვა","localConversationPage.viewPullRequestButtonLabel.loading":"მიმდინარეობს შეტანის მოთხოვნის ჩატვირთვა…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ფაილი} other {# ფაილი}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# სია} other {# სიები}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# ძიება} other {# ძიება}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"მიმდინარეობს გამოკვლევა","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"გამოკვლეულია","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} გამოკვლეულია","localConversationTurnStory.showContent":"კონტენტის ჩვენება","localConversationTurnStory.streamContent":"კონტენტის სტრიმინგი","localConversationTurnStory.toggleReasoning":"არგუმენტაციის ჩვენება","localTaskRow.archiveError":"საუბრის დაარქივება ვერ მოხერხდა","localTaskRow.resumeError":"ამოცანის განახლება ვერ მოხერხდა","mermaidDiagram.ariaLabel":"ქალთევზას დიაგრამა","mermaidDiagram.copySource":"ქალთევზას კოპირება","mermaidDiagram.originalCode":"ქალთევზას წყაროს კოდი","notifications.permissions.description":"გაფრთხილებების ჩვენება, როდესაც შეტყობინებების ნებართვები სავალდებულოა","notifications.permissions.label":"ნებართვის შეტყობინებების გააქტიურება","notifications.turnMode.always":"ყოველთვის","notifications.turnMode.description":"დააყენეთ, როდის შეგატყობინოთ Codex-მა, როცა დაასრულებს","notifications.turnMode.label":"დასრულების შეტყობინებების ჩართვა","notifications.turnMode.off":"არასდროს","notifications.turnMode.unfocused":"მხოლოდ მაშინ, როცა არაფოკუსირებულია","patchApprovalRequest.approve":"დამტკიცება","patchApprovalRequest.menu.allowAlways":"დიახ, და მეტი აღარ მკითხო ამ სესიაზე","patchApprovalRequest.menu.allowForSession":"დიახ, და მეტი აღარ მკითხო ამ სესიაზე","patchApprovalRequest.menu.allowOnce":"დიახ","patchApprovalRequest.prompt":"გსურთ ამ ცვლილებების შეტანა?","patchApprovalRequest.reject":"არა","patchApprovalRequest.waitingForApproval":"ფაილების რედაქტირებისთვის დამტკიცების მოლოდინში","pendingRequest.approvalExec.collapse":"ჩაკეცვა","pendingRequest.approvalExec.expand":"გაშლა","pendingRequestStory.toastAnswer":"პასუხი: {answer}","pendingRequestStory.toastApprovalTitle":"დადასტურების პასუხი","pendingRequestStory.toastFollowupPrompt":"მოთხოვნა: {prompt}","pendingRequestStory.toastFollowupTitle":"შემდეგი ნაბიჯები გამოიგზავნა","pendingRequestStory.toastNoAnswers":"წარმოდგენილი პასუხების გარეშე","pendingRequestStory.toastQuestion":"შეკითხვა: {question}","pendingRequestStory.toastUnknownDecision":"უცნობი","pendingRequestStory.toastUserInputTitle":"წარდგენილი პასუხები","quickAction.request.codeReview.branches.new":"მიმოიხილე ცვლილებები {from}-ზე {to}-თან მიმართებით","quickAction.request.codeReview.uncommitted.new":"მიმოიხილე ჩემი დაუფიქსირებელი ცვლილებები","reasoningItem.thinking":"ფიქრობს","reasoningItem.thought":"იფიქრა","reasoningItem.thoughtWithElapsed":"იფიქრა {elapsed} წამი","recentConversations.title":"უახლესი საუბრები","recentTasks.worktreeInitFailedTitle":"Worktree-ს ინიციალიზაცია წარუმატებელია","recentTasks.worktreeSettingUpTitle":"მიმდინარეობს worktree-ს დაყენება","requestInputPanel.continue":"გაგრძელება","requestInputPanel.dismiss":"დახურვა","requestInputPanel.escapeKey":"გამოსვლა (ESC)","requestInputPanel.freeFormPlaceholder":"აკრიფეთ აქ","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"არა და უთხარით Codex-ს, რა გაკეთდეს სხვანაირად","requestInputPanel.selectedBadge":"არჩეული","requestInputPanel.skip":"გამოტოვება","requestInputPanel.submit":"წარდგენა","review.commit.ariaLabel.includeUnstaged":"არაინდექსირებულის გამოყენება","review.commit.buttonLabel":"კომიტი","review.commit.disabled.committing":"მიმდინარეობს დაფიქსირება…","review.commit.disabled.loadingDiff":"სხვაობები იტვირთება…","review.commit.disabled.missingContext":"დაამატეთ კონტექსტი დაფიქსირების შეტყობინების გენერირებისთვის","review.commit.disabled.noChanges":"დასაფიქსირებელი ცვლილებების გარეშე","review.commit.disabled.noSelection":"დასაფიქსირებელი ცვლილებების მონიშვნა","review.commit.disabled.unavailable":"დაფიქსირება ამჟამად მიუწვდომელია","review.commit.error":"ცვლილებების დაფიქსირება წარუმატებელია","review.commit.form.changesToBeCommitted":"ცვლილებები","review.commit.form.commitTo":"განშტოება","review.commit.form.commitTo.none":"-","review.commit.form.continue":"გაგრძელება","review.commit.form.title":"თქვენი ცვლილებების დაფიქსირება","review.commit.generate.emptyResponse":"დაფიქსირების შეტყობინების გენერირება ვერ მოხერხდა.","review.commit.generate.failed":"დაფიქსირების შეტყობინების გენერირება წარუმატებელია: {error}","review.commit.generate.missingPrompt":"დაამატეთ კონტექსტი დაფიქსირების შეტყობინების გენერირებისთვის.","review.commit.includeUnstaged":"არაინდექსირებულის გამოყენება","review.commit.loading.description":"დაიცადეთ, ამას შესაძლოა რამდენიმე წუთი დასჭირდეს…","review.commit.loading.step.commit.done":"დაფიქსირებული ცვლილებები","review.commit.loading.step.commit.pending":"მიმდინარეობს ცვლილებების დაფიქსირება","review.commit.loading.step.createPr.done":"შეტანის მოთხოვნა შექმნილია","review.commit.loading.step.createPr.pending":"მიმდინარეობს შეტანის მოთხოვნის შექმნა","review.commit.loading.step.push.done":"გადაცემულია განშტოებაზე {branch}","review.commit.loading.step.push.pending":"გადაიცემა განშტოებაზე {branch}","review.commit.loading.title.commit":"მიმდინარეობს ცვლილებების დაფიქსირება","review.commit.loading.title.createPr":"იქმნება PR","review.commit.loading.title.push":"გადაიცემა ცვლილებები","review.commit.messageLabel":"დაფიქსირების შეტყობინება","review.commit.messagePlaceholder":"დატოვეთ ცარიელი დაფიქსირების შეტყობინების ავტომატური გენერირებისთვის","review.commit.nextSteps":"შემდეგი ნაბიჯები","review.commit.nextSteps.commit":"კომიტი","review.commit.nextSteps.commitAndCreate":"დაფიქსირება და PR-ის შექმნა","review.commit.nextSteps.commitAndPush":"დაფიქსირება და გადაცემა","review.commit.nextSteps.prRequiresGh":"საჭიროებს GitHub CLI-ს: {command}","review.commit.rows.changes":"ცვლილებები","review.commit.rows.commitCount":"{count, plural, one {# დაფიქსირება} other {# დაფიქსირება}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# დაფიქსირება} other {# დაფიქსირება}} და {stats}","review.commit.rows.fileCount":"{count, plural, one {# ფაილი} other {# ფაილი}}","review.commit.state.error.body":"დაფიქსირებისას მოხდა შეცდომა. შეამოწმეთ თქვენი git სტატუსი და ცადეთ ხელახლა.","review.commit.state.error.title":"დაფიქსირება წარუმატებელია","review.commit.state.success.title":"ცვლილებები დაფიქსირეულია","review.commit.untracked.loadingStats":"იტვირთება სხვაობის მიუდევნებელი სტატისტიკა…","reviewFindingAttachments.count":"{count, plural, one {# შედეგი} other {# შედეგი}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"დაარედაქტირეთ თქვენი კონფიგურაცია აგენტის ქცევის მორგებისთვის","settings.agent.configuration.configToml.docs":"დოკუმენტები","settings.agent.configuration.configToml.restartNote":"გადატვირთეთ Codex რედაქტირების შემდეგ ცვლილებების შესატანად","settings.agent.configuration.subtitle":"ეს პარამეტრები მოქმედებს ყველგან, სადაც Codex გამოიყენება","settings.automations.banner.danger":"ავტომატიზაციები გაშვებულია თქვენი ნაგულისხმევი ოპერაციული გარემოს აბსტრაქციის პარამეტრებით, რომლებიც ამჟამად სრულ წვდომაზეა დაყენებული. ფონური ავტომატიზაციების გაშვება სრული წვდომით გაზრდილ რისკთანაა დაკავშირებული, რადგანაც Codex-მა შესაძლოა შეკითხვის გარეშე შეცვალოს ფაილები, გაუშვას ბრძანებები და მიიღოს წვდომა ქსელზე. განიხილეთ ოპერაციული გარემოს აბსტრაქციის პარამეტრების განახლება სამუშაო სივრცეში დაწერის რეჟიმზე და <rulesDocsLink>წესების</rulesDocsLink> გამოყენება იმის შერჩევითად განსაზღვრისთვის, თუ რომელი ბრძანებების გაშვება შეძლოს აგენტმა სრული წვდომით.","settings.automations.banner.defaultHowTo.default":"ავტომატიზაციები გაშვებულია თქვენი ნაგულისხმევი ოპერაციული გარემოს აბსტრაქციის პარამეტრებით. ხელსაწყოს გამოძახებები შეცდომით დასრულდება, თუ მათი მუშაობისთვის საჭირო იქნება ფაილების შეცვლა სამუშაო სივრცის გარეთ, ქსელზე წვდომა ან თქვენს კომპიუტერზე აპებთან მუშაობა. თქვენ შერჩევითად შეგიძლიათ დაუშვათ ბრძანებების გაშვება ოპერაციული გარემოს აბსტრაქციის გარეთ <rulesDocsLink>წესების</rulesDocsLink> გამოყენებით.","settings.automations.banner.defaultHowTo.readOnly":"ავტომატიზაციები გაშვებულია თქვენი ნაგულისხმევი ოპერაციული გარემოს აბსტრაქციის პარამეტრებით, რომლებიც დაყენებულია მხოლოდ წაკითხვისთვის რეჟიმზე. ხელსაწყოს გამოძახებები შეცდომით დასრულდება, თუ მათი მუშაობისთვის საჭირო იქნება ფაილების შეცვლა, ქსელზე წვდომა ან თქვენს კომპიუტერზე აპებთან მუშაობა. განიხილეთ ოპერაციული გარემოს აბსტრაქციის პარამეტრების განახლება სამუშაო სივრცეში დაწერის რეჟიმზე.","settings.automations.cancel":"გაუქმება","settings.automations.create":"შექმნა","settings.automations.cwdEmpty":"პროექტის საქაღალდეები არ არის ხელმისაწვდომი","settings.automations.cwdLabel":"პროექტები","settings.automations.cwdPlaceholder":"საქაღალდის არჩევა","settings.automations.cwdSubtitle":"თუ ავტომატიზაციის გაშვება კონკრეტულ განშტოებაზე გსურთ, ამის დაკონკრეტება თქვენს მოთხოვნაში შეგიძლიათ.","settings.automations.delete":"წაშლა","settings.automations.dialog.editTitle":"ავტომატიზაციის რედაქტირება","settings.automations.dialog.newTitle":"ახალი ავტომატიზაცია","settings.automations.dialog.subtitle":"მოახდინეთ განმეორებადი ამოცანების ავტომატიზაცია ფონურად. Codex შედეგებს შემოსულებში ამატებს ან ავტომატურად აარქივებს ამოცანას, თუ არაფერია მოსახსენებელი. <learnMoreLink>ვრცლად</learnMoreLink>","settings.automations.dialog.title":"ავტომატიზაციის შექმნა","settings.automations.executionCopy.git":"ავტომატიზაციები ფონურადაა გაშვებული გამოყოფილ სამუშაო დირექტორიებზე.","settings.automations.executionCopy.nonGit":"პროექტებში, სადაც არ გამოიყენება ვერსიების კონტროლი, ავტომატიზაციები გაშვებულია პირდაპირ პროექტის დირექტორიაში. განიხილეთ Git-ის გამოყენება ფონურ სამუშაო დირექტორიებზე გაშვების ჩასართავად.","settings.automations.executionEnvironment.local":"ადგილობრივი","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"იტვირთება...","settings.automations.nameLabel":"სახელი","settings.automations.namePlaceholder":"საგუშაგო პრობლემების შემოწმება","settings.automations.pause":"შეჩერება","settings.automations.promptLabel":"მოთხოვნა","settings.automations.promptPlaceholder":"მუშაობის ავარიული დასრულებების ძიება $Sentry-ში","settings.automations.resume":"გაგრძელება","settings.automations.rruleSummaryFallback":"მორგებული განრიგი","settings.automations.runNow":"შემოწმება","settings.automations.save":"შენახვა","settings.automations.scheduleBadge.dayCount":"{count}დ","settings.automations.scheduleBadge.interval":"{count}სთ","settings.automations.scheduleBadge.weekdays":"კვირის დღეები","settings.automations.scheduleBadge.weekends":"შაბათ-კვირა","settings.automations.scheduleHeader":"განრიგი","settings.automations.scheduleHours":"საათები","settings.automations.scheduleLabel":"გაეშვას ყოველ","settings.automations.scheduleMode.daily":"ყოველდღიურად","settings.automations.scheduleMode.interval":"ინტერვალი","settings.automations.scheduleModeLabel":"განრიგის ტიპი","settings.automations.scheduleSummary.daily":"ყოველდღიურად, {time}","settings.automations.scheduleSummary.interval":"ყოველ {count}სთ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# დღეში} other {# დღეში}}","settings.automations.scheduleSummary.intervalDays":"{interval}, {days}","settings.automations.scheduleSummary.intervalHourly":"საათობრივად","settings.automations.scheduleSummary.singleDay":"{day}, {time} საათზე","settings.automations.scheduleSummary.weekdays":"კვირის დღეები, {time}","settings.automations.scheduleSummary.weekdaysLabel":"კვირის დღეები","settings.automations.scheduleSummary.weekends":"შაბათ-კვირა, {time}","settings.automations.scheduleSummary.weekendsLabel":"შაბათ-კვირა","settings.automations.scheduleSummary.weekly":"{days}, {time} საათზე","settings.automations.scheduleWeekdays":"ჩართული","settings.automations.weekdayState.excluded":"გამორიცხული","settings.automations.weekdayState.included":"შეტანილი","settings.conversationDetail.steps":"ნაბიჯები","settings.conversationDetail.steps.description":"ბრძანებებისა და გამომავალი მონაცემების დამალვა","settings.conversationDetail.stepsWithCommands":"ნაბიჯები კოდის ბრძანებებით","settings.conversationDetail.stepsWithCommands.description":"ბრძანებების ჩვენება, გამომავალი მონაცემების ჩაკეცვა","settings.conversationDetail.stepsWithOutput":"ნაბიჯები კოდის გამომავალი მონაცემებით","settings.conversationDetail.stepsWithOutput.description":"ბრძანებების ჩვენება და გამომავალი მონაცემების გაშლა","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"დაარქივებული ჩეთების გარეშე.","settings.dataControls.archivedChats.error":"დაარქივებული ჩეთები ვერ ჩაიტვირთა.","settings.dataControls.archivedChats.loading":"დაარქივებული ჩეთები იტვირთება…","settings.dataControls.archivedChats.unarchive":"დეარქივაცია","settings.dataControls.archivedChats.unarchiveError":"ჩეთის დეარქივაცია წარუმატებელია","settings.dataControls.archivedChats.unarchiveSuccess":"არქივიდან ამოღებული ნაკადი. <viewNowLink>ახლავე ნახვა</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"არქივიდან ამოღებული ნაკადი.","settings.dataControls.archivedChats.untitled":"უსათაურო ჩეთი","settings.dataControls.archivedChats.viewNow":"ახლავე ნახვა","settings.editRow.headerPlaceholder":"გასაღები","settings.editRow.removeEntry":"შენატანის ამოშლა","settings.editRow.valuePlaceholder":"ერთეული","settings.general.appearance":"გარეგნული მხარე","settings.general.appearance.codeFont":"კოდის შრიფტი","settings.general.appearance.codeFont.description":"კოდისთვის გამოყენებული შრიფტისა და ზომის კორექტირება ჩეთებსა და სხვაობებში","settings.general.appearance.codeFontFamily":"კოდის შრიფტის ოჯახი","settings.general.appearance.codeFontSize":"კოდის შრიფტის ზომა","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ფანჯრებისთვის ერთიანი ფონის გამოყენება სისტემური გამჭვირვალობის სანაცვლოდ","settings.general.appearance.opaqueWindows.label":"ფანჯრის გაუმჭვირი ფონის გამოყენება","settings.general.appearance.sansFontFamily":"Sans შრიფტის ოჯახი","settings.general.appearance.sansFontFamily.description":"Codex UI-სთვის გამოყენებული შრიფტის კორექტირება","settings.general.appearance.sansFontSize":"Sans შრიფტის ზომა","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"სადღესასწაულო ეფექტების ეკრანის სრულ ზომაზე ჩვენება GPT-5.3-Codex-Spark-ის პირველი შესრულებისას","settings.general.appearance.sparkCelebrationEffects.label":"Spark-ის სადღესასწაულო ეფექტები","settings.general.appearance.theme":"თემა","settings.general.appearance.theme.dark":"ბნელი","settings.general.appearance.theme.description":"ნათელის, ბნელის გამოყენება ან თქვენს სისტემაზე მორგება","settings.general.appearance.theme.light":"სინათლე","settings.general.appearance.theme.system":"სისტემა","settings.general.appearance.usePointerCursors.description":"შეცვალეთ კურსორი მიმთითებელზე არააქტიურ ელემენტებზე გადატარებისას","settings.general.appearance.usePointerCursors.label":"გამოიყენეთ მიმთითებელი კურსორები","settings.general.enterBehavior.description":"ჩართულ მდგომარეობაში მრავალხაზიანი მოთხოვნები საჭიროებს {modifierSymbol} + „Enter“-ს გასაგზავნად.","settings.general.enterBehavior.label":"საჭიროებს {modifierSymbol} + „Enter“-ს გრძელი მოთხოვნების გასაგზავნად","settings.general.experimentalFeatures":"ექსპერიმენტული ფუნქციები (ბეტა)","settings.general.experimentalFeatures.empty":"ბეტა ექსპერიმენტული ფუნქციები ხელმიუწვდომელია","settings.general.experimentalFeatures.loading":"იტვირთება ექსპერიმენტული ფუნქციები...","settings.general.experimentalFeatures.restartNote":"ხელახლა გაუშვით Codex, რომ ექსპერიმენტული ფუნქციები შეიცვალოს","settings.general.experimentalFeatures.toggle":"{featureName}-ის გადართვა","settings.general.followUpQueueMode.description":"ჩასვით რიგში შემდგომი ნაბიჯები, სანამ Codex უშვებს ან ხელმძღვანელობს მიმდინარე გაშვებით. დააჭირეთ {invertFollowUpShortcutLabel}-ს ერთი შეტყობინებისთვის საპირისპიროს გასაკეთებლად.","settings.general.followUpQueueMode.interrupt":"ხელმძღვანელობა","settings.general.followUpQueueMode.label":"შემდგომი ქცევა","settings.general.followUpQueueMode.queue":"რიგში ჩასმა","settings.general.notifications":"გაფრთხილებები","settings.general.power.preventSleepWhileRunning.description":"დატოვეთ თქვენი კომპიუტერი ჩართულ მდგომარეობაში, სანამ Codex ნაკადს უშვებს.","settings.general.power.preventSleepWhileRunning.label":"ძილის თავიდან არიდება გაშვების პროცესში","settings.git.branchPrefix.ariaLabel":"განშტოების პრეფიქსი","settings.git.branchPrefix.description":"პრეფიქსი გამოყენებულია Codex-ში ახალი განშტოებების შექმნისას","settings.git.branchPrefix.label":"განშტოების პრეფიქსი","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"განშტოების პრეფიქსის შენახვა წარუმატებელია","settings.git.branchPrefix.save.success":"განშტოების პრეფიქსი შენახულია","settings.git.commitInstructions.ariaLabel":"დაფიქსირების ინსტრუქციები","settings.git.commitInstructions.description":"დამატებულია დაფიქსირების შეტყობინების გენერირების მოთხოვნებში","settings.git.commitInstructions.label":"დაფიქსირების ინსტრუქციები","settings.git.commitInstructions.placeholder":"დაფიქსირების შეტყობინების მითითებების დამატება…","settings.git.commitInstructions.save":"შენახვა","settings.git.commitInstructions.save.error":"დაფიქსირების ინსტრუქციების შენახვა წარუმატებელია","settings.git.commitInstructions.save.success":"დაფიქსირების ინსტრუქციები შენახულია","settings.git.forcePush.ariaLabel":"ყოველთვის მოხდეს იძულებით გადაცემა","settings.git.forcePush.description":"იქნეს გამოყენებული --force-with-lease Codex-იდან გადაცემისას","settings.git.forcePush.label":"ყოველთვის მოხდეს იძულებით გადაცემა","settings.git.forcePush.save.disabled":"ყოველთვის იძულებით გადაცემა გათიშულია","settings.git.forcePush.save.enabled":"ყოველთვის იძულებით გადაცემა ჩართულია","settings.git.forcePush.save.error":"იძულებით გადაცემის პარამეტრის შენახვა წარუმატებელია","settings.git.prInstructions.ariaLabel":"შეტანის მოთხოვნის ინსტრუქციები","settings.git.prInstructions.description":"ერთვის Codex-ის მიერ შექმნილი შეტანის მოთხოვნის ტექსტებს","settings.git.prInstructions.label":"შეტანის მოთხოვნის ინსტრუქციები","settings.git.prInstructions.placeholder":"შეტანის მოთხოვნის მითითებების დამატება…","settings.git.prInstructions.save":"შენახვა","settings.git.prInstructions.save.error":"შეტანის მოთხოვნის ინსტრუქციების შენახვა წარუმატებელია","settings.git.prInstructions.save.success":"შეტანის მოთხოვნის ინსტრუქციები შენახულია","settings.ide.defaultOpenTarget.description":"სადაც ფაილები და საქაღალდეები ნაგულისხმევად იხსნება","settings.ide.defaultOpenTarget.label":"გახსნის ნაგულისხმევის მდებარეობა","settings.ide.defaultOpenTarget.placeholder":"სამიზნეები არ არის ნაპოვნი","settings.ide.language.auto":"ავტომატური ამოცნობა","settings.ide.language.autoOption":"ავტომატური ამოცნობა","settings.ide.language.description":"ენა აპის UI-ისთვის","settings.ide.language.label":"ენა","settings.ide.language.search":"ენების ძიება","settings.layout.actionButton":"გაფართოების ხელახლა დაწყება","settings.layout.actionTitle":"პარამეტრები მოქმედებით","settings.layout.fullWidthTitle":"პარამეტრები (სრული სიგანე)","settings.layout.title":"პარამეტრები","settings.localEnvironments.actions.add":"მოქმედების დამატება","settings.localEnvironments.actions.add.description":"შექმენით ახალი ბრძანება ხელსაწყოთა ზოლიდან გასაშვებად.","settings.localEnvironments.actions.add.save":"შენახვა","settings.localEnvironments.actions.empty":"დაამატეთ მოქმედება ბრძანებების გასაშვებად ადგილობრივი ხელსაწყოთა ზოლიდან.","settings.localEnvironments.actions.icon.debug":"დეფექტების აღმოჩენა და აღმოფხვრა","settings.localEnvironments.actions.icon.run":"გაშვება","settings.localEnvironments.actions.icon.test":"გამოცდა","settings.localEnvironments.actions.icon.tool":"ხელსაწყო","settings.localEnvironments.actions.item.button.delete":"წაშლა","settings.localEnvironments.actions.item.command":"მოქმედების სცენარი","settings.localEnvironments.actions.item.name":"სახელი","settings.localEnvironments.actions.item.platforms":"პლატფორმები","settings.localEnvironments.actions.item.platforms.help":"გაშვებულია მხოლოდ კონკრეტულ OS-ზე.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"პლატფორმის მონიშვნა","settings.localEnvironments.actions.item.platforms.specific":"პლატფორმისთვის სპეციფიკური","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"წაშლა","settings.localEnvironments.actions.title":"მოქმედებები","settings.localEnvironments.breadcrumb.back":"უკან","settings.localEnvironments.breadcrumb.edit":"ჩასწორება","settings.localEnvironments.breadcrumb.root":"გარემოები","settings.localEnvironments.environment.actions.description":"ამ მოქმედებებს ნებისმიერი ბრძანების გაშვება შეუძლია და ზედა კოლონტიტულში გამოჩნდება.","settings.localEnvironments.environment.actionsLabel":"მოქმედებები","settings.localEnvironments.environment.create":"ადგილობრივი გარემოს შექმნა","settings.localEnvironments.environment.defaultName":"ადგილობრივი","settings.localEnvironments.environment.edit":"ადგილობრივი გარემოს რედაქტირება","settings.localEnvironments.environment.empty":"ამ სამუშაო პროექტისთვის ჯერჯერობით არცერთი ადგილობრივი გარემო არ არის კონფიგურირებული.","settings.localEnvironments.environment.name":"სახელი","settings.localEnvironments.environment.setup":"დაყენების სცენარი","settings.localEnvironments.environment.setup.description":"ეს სცენარი გაეშვება სამუშაო დირექტორიის შექმნისას.","settings.localEnvironments.environment.setup.hint":"გაშვებულია პროექტის ფესვში.","settings.localEnvironments.environment.setup.platformOverrides":"პლატფორმის გადაფარვები","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} დაყენების სცენარის დამატება","settings.localEnvironments.environment.setup.platformOverrides.description":"გადაფარავს ნაგულისხმევ სცენარს სპეციფიკური OS-ებისთვის.","settings.localEnvironments.environment.setup.platformOverrides.remove":"ამოშლა","settings.localEnvironments.environment.setup.script":"სცენარი","settings.localEnvironments.environment.title":"გარემოს დეტალები","settings.localEnvironments.file.missing":"შეინახეთ ამ ფაილის პირველად შესაქმნელად.","settings.localEnvironments.file.parseError":"არსებული ფაილის გარჩევა შეუძლებელია. შენახვით მოხდება მისი გადაწერა. ({error})","settings.localEnvironments.file.path":"ფაილი: {path}","settings.localEnvironments.file.readError":"ადგილობრივი გარემოს მონაცემების ჩატვირთვა წარუმატებელია. ({error})","settings.localEnvironments.file.title":"ადგილობრივი გარემოს ფაილი","settings.localEnvironments.loading.body":"თქვენი პროექტის კონფიგურაციის მიღება.","settings.localEnvironments.loading.title":"ადგილობრივი გარემოები იტვირთება","settings.localEnvironments.preview.devOnly":"(მხოლოდ დეველოპერი)","settings.localEnvironments.preview.save":"შენახვა","settings.localEnvironments.preview.saveError":"ფაილის შენახვა ვერ მოხერხდა. ({error})","settings.localEnvironments.preview.title":"გადახედვა","settings.localEnvironments.save.disabled.name":"დაამატეთ გარემოს სახელი შესანახად.","settings.localEnvironments.save.disabled.noChanges":"შესანახი ცვლილებების გარეშე.","settings.localEnvironments.save.disabled.saving":"მიმდინარეობს შენახვა…","settings.localEnvironments.save.success":"ადგილობრივი გარემო შენახულია","settings.localEnvironments.unavailable.body":"ადგილობრივი გარემოს პარამეტრები ამ პროექტისთვის ვერ ჩავტვირთეთ.","settings.localEnvironments.unavailable.title":"ადგილობრივი გარემოები მიუწვდომელია","settings.localEnvironments.workspace.add":"პროექტის დამატება","settings.localEnvironments.workspace.title":"პროექტი","settings.localEnvironments.workspaceSelect.addLabel":"გარემოს დამატება","settings.localEnvironments.workspaceSelect.description":"ადგილობრივი გარემოები ატყობინებს Codex-ს, როგორ უნდა დაყენდეს სამუშაო დირექტორიები პროექტისთვის. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ჯერჯერობით პროექტის გარეშე. დაამატეთ პროექტი ადგილობრივი გარემოების კონფიგურირებისთვის.","settings.localEnvironments.workspaceSelect.errorLabel":"გარემო ყურადღებას საჭიროებს","settings.localEnvironments.workspaceSelect.learnMore":"ვრცლად","settings.localEnvironments.workspaceSelect.listLabel":"ხელმისაწვდომი პროექტები","settings.localEnvironments.workspaceSelect.loading":"პროექტები იტვირთება.","settings.localEnvironments.workspaceSelect.loadingLabel":"გარემო იტვირთება","settings.localEnvironments.workspaceSelect.title":"აირჩიეთ პროექტი","settings.localEnvironments.workspaceSelect.viewAction":"დათვალიერება","settings.mcp.addServer":"სერვერის დამატება","settings.mcp.app.configure":"კონფიგურირება","settings.mcp.app.connect":"დაკავშირება","settings.mcp.apps.refresh":"განახლება","settings.mcp.detail.addArgument":"არგუმენტის დამატება","settings.mcp.detail.addEnvVar":"გარემოს ცვლადის დამატება","settings.mcp.detail.addEnvVarPassthrough":"ცვლადის დამატება","settings.mcp.detail.args":"არგუმენტები","settings.mcp.detail.back":"უკან","settings.mcp.detail.command":"გაშვების ბრძანება","settings.mcp.detail.cwd":"სამუშაო დირექტორია","settings.mcp.detail.docs":"მოდელის კონტექსტის პროტოკოლის (MCP) დოკუმენტაციის გახსნა","settings.mcp.detail.docs.link":"დოკუმენტები","settings.mcp.detail.envVarPassthrough":"გარემოს ცვლადის გადაცემა","settings.mcp.detail.envVars":"გარემოს ცვლადები","settings.mcp.detail.http.addEnvHeader":"ცვლადის დამატება","settings.mcp.detail.http.addHeader":"ზედა კოლონტიტულის დამატება","settings.mcp.detail.http.bearerToken":"მფლობელის ჟეტონის გარემოს ცვლადები","settings.mcp.detail.http.envHeaders":"ზედა კოლონტიტულები გარემოს ცვლადებიდან","settings.mcp.detail.http.headers":"ზედა კოლონტიტულები","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"სახელი","settings.mcp.detail.save":"შენახვა","settings.mcp.detail.switchTransportNotice":"თუ MCP სერვერის ტიპის გადართვა გსურთ, პირველ რიგში მოახდინეთ მისი დეინსტალირება.","settings.mcp.detail.titleExisting":"განაახლეთ {name} MCP","settings.mcp.detail.titleNew":"დაუკავშირდით მორგებულ MCP-ს","settings.mcp.detail.transport.http":"სტრიმინგი HTTP-ით","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"დეინსტალირება","settings.mcp.empty":"მორგებული MCP სერვერები არ არის დაკავშირებული","settings.mcp.myServers":"მორგებული სერვერები","settings.mcp.partnerServer.description.figma":"მოახდინეთ კოდის უკეთ გენერირება Figma-ს სრული კონტექტის გამოყენებით","settings.mcp.partnerServer.description.github":"დაიწყეთ GitHub API-ების ინტეგრირება, რომ მოახდინოთ სამუშაო ნაკადების ავტომატიზაცია და ამოიღოთ მონაცემები","settings.mcp.partnerServer.description.linear":"მოახდინეთ ინტეგრირება Linear-ის პრობლემების მეთვალყურეობასთან და პროექტების მენეჯმენტთან","settings.mcp.partnerServer.description.notion":"წაიკითხეთ დოკუმენტები, განაახლეთ გვერდები, მართეთ ამოცანები","settings.mcp.partnerServer.description.playwright":"დაიწყეთ ბრაუზერის ავტომატიზაცია, რომ მოახდინოთ დიზაინის იმპლემენტაცია და გამოცადოთ UI.","settings.mcp.partnerServer.install":"ინსტალაცია","settings.mcp.partnerServer.installAndAuthenticate":"ინსტალაცია და ავთენტიფიკაცია","settings.mcp.partnerServer.logoAlt":"{label} ლოგო","settings.mcp.partnerServer.manage":"მართვა","settings.mcp.partnerServer.vendor":"{vendor}-ის მიერ","settings.mcp.recommendedServers":"რეკომენდებული სერვერები","settings.mcp.restartApp":"ხელახლა დაწყება","settings.mcp.restartExtension":"გაფართოების ხელახლა დაწყება","settings.mcp.server.enable":"ჩართვა","settings.mcp.server.login":"ავთენტიფიკაცია","settings.mcp.server.settings":"პარამეტრები","settings.multiselect.createOption":"„{value}“-ის შექმნა","settings.multiselect.removeOption":"ამოშლა","settings.nav.account":"მომხმარებლის ანგარიში","settings.nav.agent":"კონფიგურაცია","settings.nav.ariaLabel":"პარამეტრები","settings.nav.back":"აპზე დაბრუნება","settings.nav.data-controls":"დაარქივებული ნაკადები","settings.nav.environments":"Cloud გარემოები","settings.nav.externalTooltip":"[ალფა] იხსნება ბრაუზერში","settings.nav.general-settings":"ზოგადი","settings.nav.git-settings":"Git","settings.nav.local-environments":"გარემოები","settings.nav.mcp-settings":"მოდელის კონტექსტის პროტოკოლი (MCP) სერვერები","settings.nav.notImplemented":"[ალფა] არ არის ხელმისაწვდომი Alpha-ში","settings.nav.personalization":"პერსონალიზაცია","settings.nav.skills-settings":"უნარები","settings.nav.usage-analytics":"გამოყენება და ანალიტიკა","settings.nav.worktrees":"სამუშაო დირექტორიები","settings.openSourceLicenses.back":"უკან","settings.openSourceLicenses.loading":"იტვირთება...","settings.openSourceLicenses.missing":"მესამე მხარის შეტყობინებები არ იყო ნაპოვნი.","settings.openSourceLicenses.notSupported":"არ არის ხელმისაწვდომი ამ ჰოსტში.","settings.openSourceLicenses.rowDescription":"მესამე მხარის შეტყობინებები შეკრული დამოკიდებულებებისთვის","settings.openSourceLicenses.rowLabel":"ღია კოდის ლიცენზიები","settings.openSourceLicenses.subtitle":"მესამე მხარის შეტყობინებები ამ აპში შეტანილი დამოკიდებულებებისთვის","settings.openSourceLicenses.title":"ღია კოდის ლიცენზიები","settings.openSourceLicenses.view":"ნახვა","settings.personalization.agents.description":"დაარედაქტირეთ ინსტრუქციები, რომლებიც Codex-ს მოგარგებთ. {learnMore}","settings.personalization.agents.learnMore":"ვრცლად","settings.personalization.agents.loadError":"agents.md-ს ჩატვირთვა ვერ ხერხდება.","settings.personalization.agents.loading":"agents.md იტვირთება…","settings.personalization.agents.placeholder":"დაამატეთ თქვენი მორგებული ინსტრუქციები…","settings.personalization.agents.retry":"ხელახლა ცდა","settings.personalization.agents.save":"შენახვა","settings.personalization.agents.save.error":"agents.md-ს შენახვა ვერ ხერხდება","settings.personalization.agents.save.success":"agents.md შენახულია","settings.personalization.agents.title":"პერსონალიზებული ინსტრუქციები","settings.personalization.personality.description":"ნაგულისხმევი ტონის დახურვა Codex-ის პასუხებისთვის","settings.personalization.personality.label":"პიროვნულობა","settings.sample.contentBody":"გამოიყენეთ ეს განლაგება თქვენი პარამეტრების პანელების შედგენისთვის თანმიმდევრული ინტერვალებით.","settings.sample.contentTitle":"კონტენტის ბლოკის ნიმუში","settings.section.account":"მომხმარებლის ანგარიში","settings.section.agent":"კონფიგურაცია","settings.section.data-controls":"დაარქივებული ნაკადები","settings.section.environments":"Cloud გარემოები","settings.section.external":"იხსნება თქვენს ბრაუზერში Alpha-ს დროს","settings.section.general-settings":"ზოგადი","settings.section.git-settings":"Git","settings.section.local-environments":"გარემოები","settings.section.mcp-settings":"მოდელის კონტექსტის პროტოკოლი (MCP) სერვერები","settings.section.mcp-settings.docs":"დოკუმენტები","settings.section.mcp-settings.subtitle":"გარე ხელსაწყოებისა და მონაცემთა წყაროების დაკავშირება.","settings.section.personalization":"პერსონალიზაცია","settings.section.skills-settings":"უნარები","settings.section.unavailable":"ჯერჯერობით არ არის ხელმისაწვდომი Alpha-ში","settings.section.usage-analytics":"გამოყენება და ანალიტიკა","settings.section.worktrees":"სამუშაო დირექტორიები","settings.threadDetail.description":"აირჩიეთ, ბრძანების რამდენი გამომავალი მონაცემი იყოს ნაჩვენები ნაკადებში","settings.threadDetail.label":"ნაკადის დეტალი","settings.worktrees.conversation.untitled":"უსათაურო საუბარი","settings.worktrees.delete.error":"სამუშაო დირექტორიის წაშლა წარუმატებელია","settings.worktrees.empty.body":"Codex-ის მიერ შექმნილი სამუშაო დირექტორიები აქ გამოჩნდება.","settings.worktrees.empty.title":"ჯერჯერობით სამუშაო დირექტორიების გარეშე","settings.worktrees.error.body":"სამუშაო დირექტორიების ჩატვირთვისას მოხდა შეცდომა.","settings.worktrees.error.retry":"ხელახლა ცდა","settings.worktrees.error.title":"სამუშაო დირექტორიების ჩატვირთვა ვერ ხერხდება","settings.worktrees.loading.body":"მიმდინარეობს სამუშაო დირექტორიის დეტალების მიღება.","settings.worktrees.loading.title":"სამუშაო დირექტორიები იტვირთება","settings.worktrees.repository.loading":"რეპოზიტორიუმის მეტამონაცემები იტვირთება…","settings.worktrees.repository.unknown":"უცნობი რეპოზიტორიუმი","settings.worktrees.row.conversations":"საუბრები","settings.worktrees.row.conversations.empty":"ამ სამუშაო დირექტორიაზე საუბრები არ არის მიბმული.","settings.worktrees.row.conversations.loading":"საუბრები იტვირთება…","settings.worktrees.row.delete":"წაშლა","settings.worktrees.row.title":"სამუშაო დირექტორია","sidebarElectron.addWorkspaceRoot":"ახალი პროექტის დამატება","sidebarElectron.archiveThread":"ნაკადის დაარქივება","sidebarElectron.archiveThreadError":"ნაკადის დაარქივება ვერ მოხერხდა","sidebarElectron.collapseFolder":"საქაღალდის ჩაკეცვა","sidebarElectron.createStableWorktree.dialog.cancel":"გაუქმება","sidebarElectron.createStableWorktree.dialog.create":"შექმნა","sidebarElectron.debugNavLink":"დეფექტების აღმოჩენა და აღმოფხვრა","sidebarElectron.editWorkspaceRootOptionName":"სახელის რედაქტირება","sidebarElectron.expandFolder":"საქაღალდის გაშლა","sidebarElectron.groupByMenu.recency":"ქრონოლოგიური სია","sidebarElectron.groupByMenu.title":"ორგანიზება","sidebarElectron.groupByMenu.workspace":"პროექტის მიხედვით","sidebarElectron.inboxRouteNavLink":"ავტომატიზაციები","sidebarElectron.markThreadUnread":"წაუკითხავად მონიშვნა","sidebarElectron.missingWorkspaceRoot":"პროექტის ეს საქაღალდე წაშლილი ან გადატანილია","sidebarElectron.newThread":"ახალი ნაკადი","sidebarElectron.newThreadInGroup":"ახალი ნაკადის დაწყება {folder}-ში","sidebarElectron.noRecentThreads":"უახლესი ნაკადების გარეშე","sidebarElectron.noTasks":"ნაკადების გარეშე","sidebarElectron.noTasks.start":"ახალი პროექტის დამატება","sidebarElectron.noTasksWithFilter":"არცერთი ნაკადი არ ემთხვევა ფილტრებს","sidebarElectron.pinnedThreads":"ჩამაგრებული ნაკადები","sidebarElectron.recentNavLink":"ნაკადები","sidebarElectron.recentThreads":"უახლესი ნაკადები","sidebarElectron.removeWorkspaceRootOption":"ამოშლა","sidebarElectron.renameThread":"ნაკადის გადარქმევა","sidebarElectron.renameThreadDialogAriaLabel":"ნაკადის სათაური","sidebarElectron.renameThreadDialogCancel":"გაუქმება","sidebarElectron.renameThreadDialogPlaceholder":"სათაურის დამატება…","sidebarElectron.renameThreadDialogSave":"შენახვა","sidebarElectron.renameThreadDialogSubtitle":"მოკლე და ცნობადი იყოს.","sidebarElectron.renameThreadDialogTitle":"ნაკადის გადარქმევა","sidebarElectron.renameThreadError":"ნაკადის გადარქმევა წარუმატებელია","sidebarElectron.renameWorkspaceRootOptionLabel":"ჩვენების სახელი","sidebarElectron.showLess":"ნაკლების ჩვენება","sidebarElectron.showMenu.all":"ყველა ნაკადი","sidebarElectron.showMenu.relevant":"მნიშვნელოვანი","sidebarElectron.showMenu.relevantHint":"მხოლოდ მიმდინარე განშტოებისთვის უახლესი ნაკადების, სამუშაო დირექტორიების ან სხვა ნაკადების ჩვენება, რომლებიც თქვენს ყურადღებას საჭიროებს","sidebarElectron.showMenu.title":"ჩვენება","sidebarElectron.showMenu.tooltip":"ნაკადების გაფილტვრა, დალაგება და ორგანიზება","sidebarElectron.showMenu.trigger":"გვერდითი ზოლის ნაკადების გაფილტვრა","sidebarElectron.showMore":"მეტის ჩვენება","sidebarElectron.skillsRouteNavLink":"უნარები","sidebarElectron.sortMenu.created":"შექმნილი","sidebarElectron.sortMenu.title":"დალაგება შემდეგის მიხედვით:","sidebarElectron.sortMenu.updated":"განახლებული","sidebarElectron.taskNavigation":"ავტომატიზაციის საქაღალდეები","sidebarElectron.tasksInFolder":"ავტომატიზაციები {folder}-ში","sidebarElectron.workspaceOptions":"პროექტის მოქმედებები {folder}-ისთვის","sidebarElectron.worktreeGroupTooltip":"ეს არის git სამუშაო დირექტორია","skills.appsPage.createSkill":"ახალი უნარი","skills.appsPage.empty.skills":"უნარები არ არის ნაპოვნი","skills.appsPage.search.skills":"უნარების ძიება","skills.appsPage.search.skills.label":"უნარების ძიება","skills.appsPage.section.installedApps":"დაყენებული","skills.appsPage.section.skills":"უნარები","skills.appsPage.subheading":"მიანიჭეთ Codex-ს სუპერძალები. <link>ვრცლად</link>","skills.appsPage.tab.recommended":"რეკომენდებული","skills.appsPage.tab.skills":"უნარები","skills.card.contentsError":"უნარის კონტენტის ჩატვირთვა ვერ ხერხდება.","skills.card.disable":"გამორთვა","skills.card.disableSuccess":"{skillName} უნარი გათიშულია","skills.card.disabledBadge":"გამორთული","skills.card.enable":"ჩართვა","skills.card.enableSuccess":"{skillName} უნარი ჩართულია","skills.card.loadingContents":"უნარის კონტენტი იტვირთება…","skills.card.more":"მეტი მოქმედება","skills.card.open":"გახსნა","skills.card.removeFailed":"უნარის დეინსტალირება წარუმატებელია","skills.card.removeSuccess":"{skillName} უნარი დეინსტალირებულია","skills.card.toggleEnabledError":"უნარის განახლება ვერ მოხერხდა","skills.card.try":"ცდა","skills.card.trySkill":"უნარის ცდა","skills.card.uninstall":"დეინსტალირება","skills.hero.dotLabel":"{index} სლაიდზე გადასვლა","skills.hero.next":"შემდეგი გამორჩეული ფუნქცია","skills.hero.trySkill":"უნარის ცდა","skills.page.createSkill":"ახალი უნარი","skills.page.empty":"უნარები არ არის ნაპოვნი","skills.page.filteredEmpty":"არცერთი უნარი არ ემთხვევა თქვენს ფილტრებს","skills.page.filteredEmptyDescription":"ცადეთ თქვენი ძიების ან სფეროს ფილტრების კორექტირება","skills.page.heading":"უნარები","skills.page.loading":"უნარები იტვირთება…","skills.page.refreshSkills":"განახლება","skills.page.refreshSkillsToUseNew":"განაახლეთ ახალი უნარ(ებ)ის გამოსაყენებლად","skills.page.search":"უნარების ძიება","skills.page.search.label":"უნარების ძიება","skills.page.subheading":"მიანიჭეთ Codex-ს სუპერძალები. <link>ვრცლად</link>","skills.preview.copyPrompt":"მოთხოვნის კოპირება","skills.preview.examplePrompt":"მოთხოვნის მაგალითი","skills.recommended.error":"რეკომენდებული უნარების ჩატვირთვა ვერ ხერხდება","skills.recommended.install":"ინსტალაცია","skills.recommended.installSkill":"უნარის ინსტალაცია","skills.recommended.installSuccess":"{skillName} უნარი ინსტალირებულია","skills.recommended.installed":"დაყენებული","skills.scope.admin":"ადმინისტრატორი","skills.scope.adminInstalled":"ადმინისტრატორის მიერ ინსტალირებული","skills.scope.builtIn":"სისტემა","skills.scope.personal":"პირადი","skills.scope.repo":"საცავი","skills.scope.system":"სისტემა","skills.scope.team":"გუნდი","skills.scope.user":"მომხმარებელი","skills.section.installed":"დაყენებული","skills.section.recommended":"რეკომენდებული","story.slidingToggle.existing":"არსებული","story.slidingToggle.fromLocal":"ადგილობრივიდან","story.slidingToggle.new":"ახალი","story.slidingToggle.toLocal":"ადგილობრივზე","terminal.close":"ტერმინალის დახურვა","terminal.title":"ტერმინალი","thinkingShimmer.default":"ფიქრობს","threadEnvIcon.cloudTooltip":"ეს საუბარი გაშვებულია Codex Cloud-ში.","threadEnvIcon.localTooltip":"ეს საუბარი გაშვებულია ადგილობრივად.","threadEnvIcon.worktreeTooltip":"ეს საუბარი გაშვებულია ადგილობრივ git სამუშაო დირექტორიაში.","threadHeader.archiveConfirmCancel":"გაუქმება","threadHeader.archiveConfirmConfirm":"დაარქივება","threadHeader.archiveConfirmSubtitle":"მისი პოვნა მოგვიანებით დაარქივებულ ნაკადებში შეგიძლიათ.","threadHeader.archiveConfirmTitle":"გსურთ ნაკადის დაარქივება?","threadHeader.copyAppLink":"Deeplink-ის კოპირება","threadHeader.copySessionId":"სესიის საიდენტიფიკაციო ნომრის კოპირება","threadHeader.copyWorkingDirectory":"სამუშაო დირექტორიის კოპირება","threadHeader.forkIntoLocal":"ადგილობრივში განშტოება","threadHeader.forkIntoWorktree":"ახალ სამუშაო დირექტორიაში განშტოება","threadHeader.forkPendingWorktreePrompt":"ამ საუბრის განშტოება ახალ სამუშაო დირექტორიაში.","threadHeader.forkPendingWorktreeTitle":"განშტოებული საუბარი","threadHeader.forkThreadError":"ნაკადის განშტოება ვერ მოხერხდა","threadHeader.forkThreadRequiresGitRepo":"ახალ სამუშაო დირექტორიაში განშტოება საჭიროებს git რეპოზიტორიუმს","threadHeader.moreActions":"ნაკადის მოქმედებები","threadPage.newThread":"ახალი ნაკადი","threadPage.runAction.changeEnvironment":"გარემოს შეცვლა","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} მოქმედება","threadPage.runAction.environmentSelector.label":"გარემოს არჩევა","threadPage.runAction.label":"გაშვება","threadPage.runAction.missing.label":"გაშვების მოქმედების დაყენება","threadPage.runAction.setup.commandLabel":"გაშვების ბრძანება","threadPage.runAction.setup.description":"უთხარით Codex-ს, როგორ დააყენოს დამოკიდებულებები და ჩართოს თქვენი აპი.","threadPage.runAction.setup.editMore":"გარემოს პარამეტრები","threadPage.runAction.setup.placeholder":"მაგ.: npm install npm run","threadPage.runAction.setup.submit":"შენახვა და გაშვება","threadPage.runAction.setup.title":"გაშვება","threadPage.runAction.tooltip.withEnvironment":"{environmentName} მოქმედება","threadPage.toggleDiffPanel":"Diff-ის პანელის გადართვა","threadPage.toggleTerminal":"ტერმინალის გადართვა","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"საქაღალდის გახსნა","toolSummaryForCmd.exploredFiles":"<verb>ჩამოთვლილი</verb> ფაილები","toolSummaryForCmd.exploredFilesInPath":"<verb>ჩამოთვლილი</verb> ფაილები {path}-ში","toolSummaryForCmd.exploringFiles":"ფაილების <verb>ჩამოთვლა</verb>","toolSummaryForCmd.exploringFilesInPath":"ფაილების <verb>ჩამოთვლა</verb> {path}-ში","toolSummaryForCmd.ranGenericCommand":"<status>ბრძანება გაეშვა</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>გაშვებულია</status> {command}{timer}","toolSummaryForCmd.read":"<verb>წაკითხვა</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>ბრძანება გაშვებულია</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}-ისთვის","toolSummaryForCmd.searchedFor":"<verb>მოიძია</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>მოიძია</verb> ფაილები","toolSummaryForCmd.searchedForInPath":"<verb>მოიძია</verb> {query} {path}-ში","toolSummaryForCmd.searchingFor":"<verb>იძებნება</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>იძებნება</verb> ფაილები","toolSummaryForCmd.searchingForInPath":"<verb>იძებნება</verb> {query} {path}-ში","traceRecording.details.noteLabel":"რას აკეთებდით, როცა ეს მოხდა? (არასავალდებულო)","traceRecording.details.notePlaceholder":"გადავედი ვრცელ ნაკადზე, შემდეგ განმეორებითად ვრთავდი ჩანართებს შორის…","traceRecording.details.submit":"გაგზავნე ქმედებების ტექნიკური ისტორია","traceRecording.details.subtitle":"შეგვიძლია გავაგზავნოთ ამ პროფილის ქმედებების ტექნიკური ისტორია, რათა დაგვეხმაროს შესრულების პრობლემების დიაგნოსტიკაში.","traceRecording.details.title":"გავგზავნო პროფილის ქმედებების ტექნიკური ისტორია?","traceRecording.progress.subtitle":"Codex-ის ღია მდგომარეობაში დატოვება, სანამ ეს დასრულდება.","traceRecording.saving.title":"მიმდინარეობს ქმედებების ტექნიკური ისტორიის შენახვა…","traceRecording.startDetails.cancel":"გაუქმება","traceRecording.startDetails.submit":"კარგი, დაიწყე ჩაწერა","traceRecording.startDetails.subtitle":"„კარგიზე“ დაწკაპუნების შემდეგ გაამეორეთ ეფექტიანობის პრობლემა, შემდეგ კი დააწკაპუნეთ მოტივტივე წითელ ინდიკატორზე და მიმოიხილეთ ქმედებების ტექნიკური ისტორია.","traceRecording.startDetails.title":"ქმედებების ტექნიკური ისტორიის ჩანაწერის მუშაობის პრინციპი","traceRecording.stopButton.ariaLabel":"ტრესის ჩანაწერის შეწყვეტა","traceRecording.upload.successToast":"პროფილის ქმედებების ტექნიკური ისტორია გაგზავნილია.","traceRecording.uploading.title":"მიმდინარეობს ქმედებების ტექნიკური ისტორიის ატვირთვა…","wham.diff.addComment":"კომენტარის დამატება","wham.diff.binaryFile":"ბინარული ფაილი არ არის ნაჩვენები","wham.diff.noContent":"კონტენტი არ არის","wham.fileTag.deleted":"წაშლილი","wham.fileTag.new":"ახალი","wham.formattedRelativeDateTime.compactDaysAgo":"{value}დ","wham.formattedRelativeDateTime.compactHoursAgo":"{value}სთ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}წთ","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}თვ","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}კვ","wham.formattedRelativeDateTime.compactYearsAgo":"{value}წ","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"მუშაობს თქვენს ამოცანაზე","wham.whamProposedTask.title":"შემოთავაზებული ამოცანა","wham.whamProposedTask.useSuggestion":"შეთავაზების გამოყენება","workspaceRootDialog.addError":"პროექტის დამატება წარუმატებელია","workspaceRootDialog.cancel":"გაუქმება","workspaceRootDialog.confirmAdd":"პროექტის დამატება","workspaceRootDialog.confirmPick":"პროექტის გამოყენება","workspaceRootDialog.description":"პროექტად გამოყენებისთვის შეიყვანეთ ბილიკი {host}-ზე.","workspaceRootDialog.pathLabel":"პროექტის ბილიკი","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"პროექტის ბილიკის დამატება","workspaceRootDialog.title.pick":"პროექტის ბილიკის არჩევა","worktreeInitV2.cancel":"გაუქმება","worktreeInitV2.notification.failedTitle":"სამუშაო დირექტორიის დაყენება წარუმატებელია.","worktreeInitV2.output.empty":"გამოტანის მოლოდინში…","worktreeInitV2.status.error":"სამუშაო დირექტორიის დაყენება წარუმატებელია.","worktreeInitV2.status.running":"მიმდინარეობს სამუშაო დირექტორიის შექმნა და დაყენების გაშვება.","worktreeInitV2.status.runningFork":"მიმდინარეობს სამუშაო დირექტორიის შექმნა ამ საუბრის განშტოებისთვის.","worktreeInitV2.status.success":"სამუშაო დირექტორია მზადააა.","worktreeInitV2.title":"მიმდინარეობს სამუშაო დირექტორიის შექმნა","worktreeInitV2.workLocallyInstead":"სანაცვლოდ, იმუშავეთ ადგილობრივად","worktreeRestoreBanner.body":"ამ ნაკადის სამუშაო დირექტორია ამოიშალა დისკზე სივრცის შესანახად","worktreeRestoreBanner.missing.body":"ამ ნაკადის სამუშაო დირექტორია აღარ არსებობს","worktreeRestoreBanner.missing.title":"მიმდინარე სამუშაო დირექტორია აკლია","worktreeRestoreBanner.restore.error":"სამუშაო დირექტორიის აღდგენა წარუმატებელია: {message}","worktreeRestoreBanner.restore.success":"სამუშაო დირექტორია აღდგენილია","worktreeRestoreBanner.restoreCta":"სამუშაო დირექტორიის აღდგენა","worktreeRestoreBanner.title":"სამუშაო დირექტორია გასუფთავდა"};export{e as default};
+const e={"CopyButton.copyTooltip":"კოპირება","app.sidebar.hide":"გვერდითი ზოლის დამალვა","app.sidebar.show":"გვერდითი ზოლის ჩვენება","app.sidebar.tooltip":"გვერდითი ზოლის ღილაკით ჩართვა","appHeader.installUpdate":"განახლება","appSunset.body":"აპის ეს ვერსია აღარაა მხარდაჭერილი. ჩამოტვირთეთ უახლესი ვერსია <here>აქ</here>.","appSunset.title":"საჭიროა განახლება","automation.updateDirective.create":"შექმნა","automation.updateDirective.open":"გახსნა","automation.updateDirective.untitled":"უსათაურო ავტომატიზაცია","automation.updateDirective.update":"განახლება","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# მცდელობა} other {# მცდელობა}}","cloudTaskRow.archiveError":"დავალების დაარქივება ვერ მოხერხდა","code.diff.requestChange":"ცვლილების მოთხოვნა","code.diffComment.cancel":"გაუქმება","code.diffComment.comment":"კომენტარის დამატება","code.diffComment.delete":"წაშლა","code.diffComment.save":"შენახვა","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"შედეგების შესახებ მოხსენება არ გამოგზავნილა.","codex.alert.closeAriaLabel":"დახურვა","codex.appUpsellBanner.cbpApi.message":"შემქნით უფრო სწრაფად Codex-ის აპით. ჩამოტვირთეთ ახლა ან {learnMoreLink}.","codex.appUpsellBanner.download":"ჩამოტვირთვა","codex.appUpsellBanner.freeGo.message":"Codex შეტანილია თქვენს გეგმაში 2 მარტამდე. ცადეთ Codex-ის აპი უფრო სწრაფად სამუშაოდ.","codex.appUpsellBanner.later":"მოგვიანებით","codex.appUpsellBanner.learnMoreLowercase":"ვრცლად","codex.appUpsellBanner.new":"ახალი","codex.appUpsellBanner.proPlusBusiness.message":"ცადეთ Codex-ის აპი გამოყენების გაორმაგებული ლიმიტები 2 აპრილამდე. ჩამოტვირთეთ ახლა ან {learnMoreLink}","codex.appUpsellBanner.title":"Codex-ის აპი","codex.applyDropdown.header.changes":"ცვლილებები","codex.applyDropdown.header.fileCount":"{count, plural, one {# ფაილი} other {# ფაილები}}","codex.applyDropdown.header.rows":"მწკრივები","codex.applyDropdown.header.title":"ცვლილებების შეტანა","codex.applyDropdown.header.workspace":"პროექტი","codex.applyDropdown.results.conflicted":"{count, plural, one {ერთი ფაილი წინააღმდეგობრივია:} other {{count} ფაილი წინააღმდეგობრივია:}}","codex.applyDropdown.results.empty":"არცერთი ფაილი არ არის კოპირებული","codex.applyDropdown.results.skipped":"{count, plural, one {ერთი ფაილი გამოტოვებულია:} other {{count} ფაილი გამოტოვებულია:}}","codex.applyOrRevertBanner.apply":"ცვლილებების შეტანა","codex.applyOrRevertBanner.applyMessage":"გსურთ ცვლილებების შეტანა და ადგილობრივად გაგრძელება?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ეს ამოცანა შეიქმნა {environment}-ში, ამრიგად, შესაძლოა არ მიესადაგოს გამართულად.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"ცვლილებები შეტანილია {environment}-ში, ამრიგად, შესაძლოა არ მიესადაგოს გამართულად.","codex.applyOrRevertBanner.reapply":"ხელახლა მისადაგება","codex.applyOrRevertBanner.revert":"წინა ვერსიის დაბრუნება","codex.applyOrRevertBanner.revertMessage":"გსურთ მისადაგებული ცვლილებების წინა ვერსიის დაბრუნება?","codex.applyResultsDialog.applied":"სუფთად მისადაგებული ({count})","codex.applyResultsDialog.close":"დახურვა","codex.applyResultsDialog.conflicted":"წინააღმდეგობრივი ({count})","codex.applyResultsDialog.noDetails":"ფაილის დეტალები არ არის ხელმისაწვდომი.","codex.applyResultsDialog.skipped":"გამოტოვებული ({count})","codex.applyResultsDialog.title":"შედეგების მისადაგება","codex.archiveInfo":"დაარქივებული ჩეთების ნახვა {dataControlsLink}-ში.","codex.archiveInfo.dataControlsLink":"მონაცემთა მართვის საშუალებები","codex.archiveInfo.electron":"დაარქივებული ჩეთების ნახვა {settingsLink}-ში","codex.archiveInfo.extension":"დაარქივებული ჩეთების ნახვა თქვენს .codex საქაღალდეში.","codex.archiveInfo.settingsLink":"პარამეტრები","codex.banner.content.description":"ამოცანების გაშვება პარალელურად, პროგრესზე თვალის დევნება ნებისმიერ ადგილას და PR-ების მიმოხილვა ხელოვნური ინტელექტით.","codex.banner.content.headline":"Codex ყველაფერს ასრულებს.","codex.cloudTaskRow.archiveTask":"ამოცანის დაარქივება","codex.cloudTaskRow.confirmArchiveTask":"დადასტურება","codex.command.feedback":"გამოხმაურება","codex.command.findInThread":"პოვნა","codex.command.forceReloadSkills":"უნარების იძულებით ხელახლა ჩატვირთვა","codex.command.logOut":"სისტემიდან გამოსვლა","codex.command.manageTasks":"ამოცანების მართვა","codex.command.mcpSettings":"მოდელის კონტექსტის პროტოკოლი (MCP)","codex.command.navigateBack":"უკან","codex.command.navigateForward":"წინ","codex.command.newThread":"ახალი ნაკადი","codex.command.nextThread":"შემდეგი ნაკადი","codex.command.openFolder":"საქაღალდის გახსნა","codex.command.openSkills":"უნარებზე გადასვლა","codex.command.openThreadOverlay":"ნაკადი ამომხტარ ფანჯარაში","codex.command.personalitySettings":"პიროვნულობა","codex.command.previousThread":"წინა ნაკადი","codex.command.settings":"პარამეტრები","codex.command.toggleDiffPanel":"Diff-ის პანელის გადართვა","codex.command.toggleSidebar":"გვერდითი ზოლის ღილაკით ჩართვა","codex.command.toggleTerminal":"ტერმინალის გადართვა","codex.commandGroup.app":"აპი","codex.commandGroup.configure":"კონფიგურირება","codex.commandGroup.navigation":"ნავიგაცია","codex.commandGroup.panels":"პანელები","codex.commandGroup.skills":"უნარები","codex.commandGroup.thread":"ნაკადი","codex.commandGroup.workspace":"პროექტი","codex.commandMenu.noResults":"დამთხვევები არ არის","codex.commandMenu.searchPlaceholder":"ბრძანებების ძიება","codex.commandMenu.suggestedGroup":"შემოთავაზებული","codex.commandMenu.switchWorkspace":"პროექტის გადართვა","codex.commandMenu.title":"ბრძანების მენიუ","codex.common.retry":"ხელახლა ცდა","codex.composer.searchBranches":"განშტოებების ძიება","codex.dialog.basic.body":"ეს არის მარტივი მოდალური დიალოგი, რომელიც იყენებს ჩვენს შეფუთვის ფუნქციონალს Radix Dialog-ისთვის.","codex.dialog.basic.cancel":"გაუქმება","codex.dialog.basic.confirm":"დადასტურება","codex.dialog.basic.open":"დიალოგის გახსნა","codex.dialog.basic.title":"დიალოგის ნიმუში","codex.dialog.long.close":"დახურვა","codex.dialog.long.line":"გადაადგილებადი ხაზი {index} დიალოგში გრძელი კონტენტის სადემონსტრაციოდ.","codex.dialog.long.open":"გრძელი დიალოგის გახსნა","codex.dialog.long.title":"გრძელი კონტენტის დიალოგი","codex.dialog.unstyled.body":"ეს ისტორია წარმოაჩენს, როგორ შეუძლიათ მომხმარებლებს დიალოგის კონტენტის სტილის მართვა.","codex.dialog.unstyled.open":"ChatGPT-ის დაუფორმატებელი დიალოგის გახსნა","codex.dialog.unstyled.title":"დაუფორმატებელი კონტენტი","codex.diff.openInEditorPrompt.openButton":"რედაქტორში გახსნა","codex.diff.openInEditorPrompt.singleLine":"ეს ფაილი ძალიან დიდია აქ წარმოსაჩენად.","codex.diffView.failedToDecodeBase64Diff":"Base64 diff-ის გაშიფვრა წარუმატებელია","codex.diffView.filesChanged":"{fileCount, plural, one {# ფაილი შეიცვალა} other {# ფაილი შეიცვალა}}","codex.diffView.imagePreviewAlt":"სურათის გადახედვა","codex.diffView.imagePreviewEmpty":"სურათის გარეშე","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Diff მონაცემების გარეშე","codex.diffView.pdfPreview.nextPage":"შემდეგი გვერდი","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"წინა გვერდი","codex.diffView.pdfPreviewEmpty":"PDF-ის გადახედვის გარეშე","codex.diffView.pdfPreviewError":"PDF-ის გადახედვის წარმოჩენა ვერ ხერხდება","codex.diffView.richPreviewDisable":"გაფართოებული გადახედვის გათიშვა","codex.diffView.richPreviewEnable":"გაფართოებული გადახედვის ჩართვა","codex.diffView.richPreviewLoading":"გადახედვა იტვირთება…","codex.diffView.richPreviewToggle":"გაფართოებული გადახედვის გადართვა","codex.diffView.switchToUnified":"ერთიან diff-ზე გადართვა","codex.environmentSelector.noEnvironment":"გარემოს გარეშე","codex.environments.environmentSettings":"გარემოს პარამეტრები","codex.environments.learnMore":"ვრცლად","codex.environments.listError":"გარემოების ჩატვირთვა ვერ მოხერხდა.","codex.environments.noEnvironmentsFound":"გარემოები არ მოიძებნა","codex.environments.searchError":"გარემოების ძიება ვერ მოხერხდა.","codex.errorBoundary.genericError":"უი, დაფიქსირდა შეცდომა","codex.errorBoundary.goHome":"ხელახლა ცდა","codex.file.patch.missing":"ამ ფაილისთვის ჩასწორების შექმნა ვერ ხერხდება.","codex.gallery.automations.cwdLabel":"პროექტები","codex.gallery.automations.nameLabel":"სახელი","codex.gallery.automations.namePlaceholder":"ამოცანის შეჯამება","codex.gallery.automations.promptLabel":"მოთხოვნა","codex.gallery.automations.promptPlaceholder":"აღწერეთ, რა უნდა გააკეთოს Codex-მა","codex.gallery.dialogs.automation.label":"ავტომატიზაციის დიალოგი","codex.gallery.dialogs.basic.body":"გამოიყენეთ ეს განლაგება ადვილად გასაგები დადასტურებების ან მოკლე ფორმებისთვის.","codex.gallery.dialogs.basic.cancel":"გაუქმება","codex.gallery.dialogs.basic.confirm":"დადასტურება","codex.gallery.dialogs.basic.label":"ძირითადი დიალოგი","codex.gallery.dialogs.basic.title":"დიალოგის ნიმუში","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"აღწერეთ პრობლემა","codex.gallery.dialogs.feedbackSubmission.bad":"ცუდი შედეგი","codex.gallery.dialogs.feedbackSubmission.bug":"ხარვეზი","codex.gallery.dialogs.feedbackSubmission.good":"კარგი შედეგი","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Codex-ის სესიის მიმდინარე პროტოკოლების გამოყენება","codex.gallery.dialogs.feedbackSubmission.label":"გამოხმაურების წარდგენა","codex.gallery.dialogs.feedbackSubmission.other":"სხვა","codex.gallery.dialogs.feedbackSubmission.placeholder":"აღწერეთ პრობლემა აქ","codex.gallery.dialogs.feedbackSubmission.submit":"წარდგენა","codex.gallery.dialogs.feedbackSubmission.title":"გამოხმაურება","codex.gallery.dialogs.feedbackSuccess.body":"გამოხმაურება ატვირთულია. თუ პრობლემა არ მოგვარდება, გახსენით GitHub-ის პრობლემა ან მოიხსენიეთ ნაკადის საიდენტიფიკაციო ნომერი არსებულ ღია პრობლემაში:","codex.gallery.dialogs.feedbackSuccess.dismiss":"დახურვა","codex.gallery.dialogs.feedbackSuccess.label":"გამოხმაურება წარმატებით გაიგზავნა","codex.gallery.dialogs.feedbackSuccess.title":"გამოხმაურება ატვირთულია","codex.gallery.dialogs.gitApplyResults.applied":"სუფთად მისადაგებული (2)","codex.gallery.dialogs.gitApplyResults.close":"დახურვა","codex.gallery.dialogs.gitApplyResults.conflicted":"წინააღმდეგობრივი (1)","codex.gallery.dialogs.gitApplyResults.label":"შედეგების მისადაგება","codex.gallery.dialogs.gitApplyResults.title":"შედეგების მისადაგება","codex.gallery.dialogs.gitPushError.body":"გამოიტანეთ უახლესი ცვლილებები ან იძულებით გააგზავნეთ, თუ იცით, რომ დისტანციური ისტორიის გადაწერა უსაფრთხოდაა შესაძლებელი.","codex.gallery.dialogs.gitPushError.cancel":"გაუქმება","codex.gallery.dialogs.gitPushError.force":"იძულებით გადაცემა","codex.gallery.dialogs.gitPushError.label":"გადაცემის შეცდომა","codex.gallery.dialogs.gitPushError.subtitle":"თქვენი განშტოება origin/main-ის უკანაა.","codex.gallery.dialogs.gitPushError.title":"ცვლილებების გადაცემა ვერ მოხერხდა","codex.gallery.dialogs.gitRevert.cancel":"გაუქმება","codex.gallery.dialogs.gitRevert.confirm":"წინა ვერსიის დაბრუნება","codex.gallery.dialogs.gitRevert.label":"ცვლილებების წინა ვერსიის დაბრუნება","codex.gallery.dialogs.gitRevert.skip":"აღარ მკითხო","codex.gallery.dialogs.gitRevert.subtitle":"ეს მოქმედება ამოშლის ყველა ამ ცვლილებას.","codex.gallery.dialogs.gitRevert.title":"გსურთ ცვლილებების წინა ვერსიის დაბრუნება?","codex.gallery.dialogs.longForm.label":"გრძელი დიალოგი","codex.gallery.dialogs.proseModal.body":"მოდალური ფანჯრის ეს სტილი გამოიყენება უფრო გრძელი ინსტრუქციებისთვის, ინტეგრაციისთვის ან დატვირთული კონტენტის ბლოკებისთვის.","codex.gallery.dialogs.proseModal.close":"დახურვა","codex.gallery.dialogs.proseModal.subtitle":"გააზიარეთ გრძელი ფორმის მითითებები ან დოკუმენტაცია აქ.","codex.gallery.dialogs.proseModal.title":"ტექსტური მოდალური ფანჯარა","codex.gallery.dialogs.submitBlocked.label":"წარდგენა დაბლოკილია","codex.gallery.dialogs.submitBlocked.message":"თქვენი შეტყობინება ვერ გაიგზავნა, რადგან პროექტი მიუწვდომელია.","codex.gallery.dialogs.submitBlocked.ok":"კარგი","codex.gallery.dialogs.submitBlocked.title":"შეტყობინების გაგზავნა შეუძლებელია","codex.gallery.dialogs.title":"დიალოგები","codex.gallery.dropdown.filterPlaceholder":"ერთეულების გაფილტვრა","codex.gallery.dropdowns.actionRow":"მოქმედებების მწკრივები","codex.gallery.dropdowns.actionRow.disabled":"გათიშული მოქმედება","codex.gallery.dropdowns.actionRow.primary":"ძირითადი მოქმედება","codex.gallery.dropdowns.actionRow.secondary":"დამატებითი მოქმედება","codex.gallery.dropdowns.actionRow.trigger":"მოქმედებების ჩვენება","codex.gallery.dropdowns.basic":"ძირითადი ჩამოსაშლელი სია","codex.gallery.dropdowns.basic.newFile":"ახალი ფაილი","codex.gallery.dropdowns.basic.newFolder":"ახალი საქაღალდე","codex.gallery.dropdowns.basic.openSettings":"პარამეტრების გახსნა","codex.gallery.dropdowns.basic.title":"სწრაფი მოქმედებები","codex.gallery.dropdowns.basic.trigger":"მენიუს გახსნა","codex.gallery.dropdowns.basic.upload":"ატვირთვა","codex.gallery.dropdowns.panel":"პანელის ზედაპირი","codex.gallery.dropdowns.panel.apply":"ცვლილებების შეტანა","codex.gallery.dropdowns.panel.body":"მიმოიხილეთ სხვაობები და გამოიყენეთ თქვენს პროექტში.","codex.gallery.dropdowns.panel.preview":"გადახედვა","codex.gallery.dropdowns.panel.title":"ცვლილებების შეტანა","codex.gallery.dropdowns.panel.trigger":"პანელის გახსნა","codex.gallery.dropdowns.search":"მოძიებადი ჩამოსაშლელი სია","codex.gallery.dropdowns.search.first":"ალფა არხი","codex.gallery.dropdowns.search.second":"ბეტა განშტოება","codex.gallery.dropdowns.search.third":"გამოშვების კანდიდატი","codex.gallery.dropdowns.search.trigger":"ერთეულების გაფილტვრა","codex.gallery.dropdowns.submenu":"ჩამოსაშლელი სია ქვემენიუთი","codex.gallery.dropdowns.submenu.optionA":"პროექტი ალფა","codex.gallery.dropdowns.submenu.optionB":"პროექტი ბეტა","codex.gallery.dropdowns.submenu.optionC":"პროექტი გამა","codex.gallery.dropdowns.submenu.primary":"მფლობელის მინიჭება","codex.gallery.dropdowns.submenu.secondary":"შემდეგში გადატანა:","codex.gallery.dropdowns.submenu.tertiary":"დაარქივება","codex.gallery.dropdowns.submenu.trigger":"მოქმედების არჩევა","codex.gallery.dropdowns.title":"ჩამოსაშლელი სიები","codex.gallery.inbox.automations.close":"დახურვა","codex.gallery.inbox.automations.popover.cardTitle":"ავტომატიზაციების მართვა","codex.gallery.inbox.automations.popover.dialogTitle":"ავტომატიზაციების მართვა","codex.header.settingsTooltip":"პარამეტრები","codex.hunk.patch.error":"ინდექსირება ვერ მოხერხდა","codex.hunk.patch.missing":"ამ შეცვლილი ნაწილისთვის ჩასწორების შექმნა ვერ ხერხდება.","codex.hunk.patch.partialSuccess":"ნაწილობრივი წარმატება","codex.hunk.patch.revertError":"ინდექსირების გაუქმება ვერ მოხერხდა","codex.hunk.patch.revertSuccess":"ინდექსირება წარმატებით გაუქმდა","codex.hunk.patch.success":"წარმატებითაა ინდექსირებული","codex.legal.autonomy.details":"მეტი დეტალისთვის იხილეთ {link}","codex.legal.autonomy.details.link":"Codex-ის დოკუმენტები","codex.legal.autonomy.title":"გადაწყვიტეთ, რამდენად ვრცელი ავტონომიურობის მინიჭება გსურთ","codex.legal.backButton":"უკან","codex.legal.cloud.taskOne.meta":"openai/agi · 12 ოქტ","codex.legal.cloud.taskOne.title":"რეპოზიტორიუმის ახსნა ახალი დიზაინერისთვის","codex.legal.cloud.taskThree.meta":"openai/codex · 8 ოქტ","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"მუქი რეჟიმის თემის შექმნა","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 ოქტ","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ინტეგრაციის ხარვეზის გამოსწორება","codex.legal.continue.apikey":"გაგრძელება","codex.legal.continueButton":"შემდეგი","codex.legal.copilot.details":"იყენებს თქვენს Copilot გეგმას ყველა მოდელის გამოძახებისთვის, ბილინგისა და ტარიფის შეზღუდვისთვის. Codex-ის გაფართოების გამოყენება ექვემდებარება როგორც {oaiTos}-ს, ისე {gitHubTos}-ს.","codex.legal.copilot.gitHubTosLink":"GitHub-ის გამოყენების პირობები","codex.legal.copilot.oaiTosLink":"OpenAI Codex-ის გამოყენების პირობები","codex.legal.copilot.title":"უზრუნველყოფილია GitHub Copilot-ის მიერ","codex.legal.mistakes.review":"მის მიერ დაწერილი კოდისა და მის მიერ გაშვებული ბრძანებების მიმოხილვა","codex.legal.mistakes.title":"Codex-მა შესაძლოა შეცდომები დაუშვას","codex.legal.powered.details":"იყენებს თქვენი გეგმის ტარიფის შეზღუდვებსა და {link}-ს","codex.legal.powered.details.link":"სწავლების მონაცემთა უპირატესი პარამეტრები","codex.legal.powered.title":"უზრუნველყოფილია თქვენი ChatGPT ანგარიშის მიერ","codex.legal.step.cloud.subtitle":"გაგზავნეთ მონაცემები Codex-თან ფონურ რეჟიმში გასაშვებად, რათა ფოკუსი შეინარჩუნოთ და უფრო სწრაფად იმოძრაოთ.","codex.legal.step.cloud.title":"Codex-ისთვის გადაცემა ღრუბელზე","codex.legal.step.intro.subtitle":"ChatGPT გადადის, არედაქტირებს, უშვებს ბრძანებებს და ახორციელებს ტესტებს პირდაპირ თქვენს საცავში. უზრუნველყოფილია თქვენი ChatGPT ანგარიშის მიერ","codex.legal.step.intro.title":"Codex თქვენს IDE-ში","codex.legal.step.todo.subtitle":"დაწერეთ TODO კომენტარი და დააკონვერტირეთ იგი Codex-ის ამოცანად ერთი დაწკაპუნებით.","codex.legal.step.todo.title":"TODO-ების Codex-ის ამოცანებად ქცევა","codex.legal.todo.heading":"// TODO: სქემის იმპლემენტაცია","codex.localConversation.closeImagePreview":"სურათის გადახედვის დახურვა","codex.localConversation.userImageAttachment":"მომხმარებლის დანართი","codex.localTaskRow.archiveTask":"ნაკადის დაარქივება","codex.localTaskRow.awaitingApproval":"დამტკიცების მოლოდინში","codex.localTaskRow.awaitingResponse":"პასუხის მოლოდინში","codex.localTaskRow.confirmArchiveTask":"დადასტურება","codex.loggedOut.apiKeyPrompt.cancel":"გაუქმება","codex.loggedOut.apiKeyPrompt.confirm":"კარგი","codex.loggedOut.apiKeyPrompt.getKey":"გამოყენებითი პროგრამების ინტერფეისის გასაღების მიღება","codex.loggedOut.apiKeyPrompt.inputLabel":"შეიყვანეთ თქვენი OpenAI-ს გამოყენებითი პროგრამების ინტერფეისის გასაღები","codex.loggedOut.apiKeyPrompt.placeholder":"sk-…","codex.loggedOut.cloudTasksDisabledWithApiKey":"ღრუბლოვანი ამოცანები გათიშულია გამოყენებითი პროგრამების ინტერფეისის გასაღებით","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"ღრუბლოვანი ამოცანები გათიშულია Copilot-ითა და გამოყენებითი პროგრამების ინტერფეისის გასაღებით","codex.loggedOut.signIn":"შესვლა ChatGPT-ს მეშვეობით","codex.loggedOut.signIn.cancel":"შესვლის გაუქმება","codex.loggedOut.signInWithCopilot":"შესვლა GitHub Copilot-ის მეშვეობით","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"გამოყენებითი პროგრამების ინტერფეისის გასაღების გამოყენება","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} მოდელის კონტექსტის პროტოკოლი (MCP) {tool} ხელსაწყო","codex.mcpTool.collapsedLabel.verb.called":"გამოიძახა","codex.mcpTool.collapsedLabel.verb.calling":"მიმდინარეობს გამოძახება","codex.mcpTool.embeddedResource.contentLabel":"კონტენტი","codex.mcpTool.embeddedResource.mimeTypeLabel":"მულტიმედიური ტიპი (MIME)","codex.mcpTool.embeddedResource.uriLabel":"რესურსის იდენტიფიკატორი (URI)","codex.mcpTool.noResult":"ხელსაწყოს კონტენტი არ დაუბრუნებია","codex.mcpTool.rawPayloadHeading":"დაუმუშავებელი {server}.{tool} ხელსაწყოს გამოძახების მონაცემები","codex.menu.recent":"უახლესი","codex.menu.seeAllHistory":"მთლიანი ისტორიის ნახვა","codex.modelCapacityBanner.headline.noReset":"{modelName} ამჟამად მაქსიმალური დატვირთვით მუშაობს. სცადეთ ხელახლა მოგვიანებით, ან დაიწყეთ ახალი საუბარი სხვა მოდელთან.","codex.modelCapacityBanner.headline.withReset":"{modelName}  ამჟამად მაქსიმალური დატვირთვით მუშაობს. სცადეთ ხელახლა {resetDate}-ის შემდეგ, ან დაიწყეთ ახალი საუბარი სხვა მოდელთან.","codex.modelCapacityBanner.title":"არჩეული მოდელი ამჟამად მაქსიმალური დატვირთვით მუშაობს","codex.patch.change.contentsDeleted":"კონტენტები წაიშალა","codex.patch.change.created":"შექმნილი","codex.patch.change.created-file":"შეიქმნა ფაილი","codex.patch.change.creating":"იქმნება","codex.patch.change.deleted":"წაშლილი","codex.patch.change.deleted-file":"წაიშალა ფაილი","codex.patch.change.deleting":"მიმდინარეობს წაშლა","codex.patch.change.edited":"დარედაქტირებული","codex.patch.change.edited-file":"რედაქტირებული ფაილი","codex.patch.change.editing":"არედაქტირებს","codex.patch.change.noChanges":"ცვლილებების გარეშე","codex.patch.change.rejected-add":"უარყოფილია","codex.patch.change.rejected-delete":"უარყოფილია","codex.patch.change.rejected-edit":"უარყოფილია","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} / {total} ამოცანა შესრულდა","codex.plan.todoListCreated":"საკონტროლო სია შეიქმნა {total} ამოცანით","codex.profileDropdown.apiKeyAuth":"სისტემაში შესული გამოყენებითი პროგრამების ინტერფეისის გასაღებით","codex.profileDropdown.codexSettings":"Codex-ის პარამეტრები","codex.profileDropdown.copilotAuth":"სისტემაში შესული Copilot-ით","codex.profileDropdown.defaultAccountTitle":"ნაგულისხმევი ანგარიში","codex.profileDropdown.enterBehavior":"{modifierSymbol} + „Enter“ გრძელი მოთხოვნების გასაგზავნად","codex.profileDropdown.enterBehaviorError":"პარამეტრის განახლება ვერ მოხერხდა","codex.profileDropdown.getPlus":"განაახლეთ ვერსია უფრო მაღალი ლიმიტებისთვის","codex.profileDropdown.keyboardShortcuts":"კლავიატურის მალსახმობები","codex.profileDropdown.language":"ენა","codex.profileDropdown.languageDefault":"ავტომატური ამოცნობა","codex.profileDropdown.languageSearchPlaceholder":"ენების ძიება","codex.profileDropdown.languageUpdateError":"ენის განახლება ვერ მოხერხდა","codex.profileDropdown.logOut":"გასვლა","codex.profileDropdown.mcp":"MCP პარამეტრები","codex.profileDropdown.openConfigToml":"config.toml-ის გახსნა","codex.profileDropdown.openConfigToml.wsl":"config.toml-ის გახსნა WSL გარემოში","codex.profileDropdown.openExtensionSettings":"პარამეტრების გახსნა","codex.profileDropdown.openMcpSettings":"MCP პარამეტრების გახსნა","codex.profileDropdown.openOnStartup":"გახსნა ჩართვისას","codex.profileDropdown.openOnStartupError":"პარამეტრის განახლება ვერ მოხერხდა","codex.profileDropdown.openSkillsSettings":"უნარების პარამეტრების გახსნა","codex.profileDropdown.personalAccountTitle":"პირადი ანგარიში","codex.profileDropdown.queueFollowUps":"შემდგომი ნაბიჯების რიგში ჩასმა","codex.profileDropdown.queueFollowUpsError":"პარამეტრის განახლება ვერ მოხერხდა","codex.profileDropdown.readDocs":"დოკუმენტების წაკითხვა","codex.profileDropdown.readSkillsDocs":"დოკუმენტების წაკითხვა","codex.profileDropdown.runInWsl":"WSL-ში გაშვება","codex.profileDropdown.runInWslError":"პარამეტრის განახლება ვერ მოხერხდა","codex.profileDropdown.runInWslTooltip":"უშვებს Codex-ს WSL-ში. რეკომენდებულია გაუმჯობესებული ოპერაციული გარემოს აბსტრაქციის უსაფრთხოებისა და უკეთესი მწარმოებლურობისთვის.","codex.profileDropdown.settings":"IDE პარამეტრები","codex.profileDropdown.settingsPage":"პარამეტრები","codex.profileDropdown.signInWithOpenAI":"შესვლა ChatGPT-ს მეშვეობით","codex.profileDropdown.skills":"უნარების პარამეტრები","codex.profileDropdown.switchToCopilotAccount":"Copilot-ის მომხმარებლის ანგარიშის გამოყენება","codex.profileDropdown.switchToOpenAIAccount":"OpenAI-ს ანგარიშის გამოყენება","codex.profileDropdown.todoCodelens":"TODO კომენტარების გამოსწორება","codex.profileDropdown.todoCodelensError":"პარამეტრის განახლება ვერ მოხერხდა","codex.profileDropdown.windowsDocumentation":"Windows დოკუმენტაცია","codex.profileFooter.signedInFallback":"პარამეტრები","codex.profileFooter.upgrade":"განახლება","codex.recentTasksMenu.clearSearch":"ძიების გასუფთავება","codex.recentTasksMenu.cloud":"ღრუბლოვანი ამოცანები","codex.recentTasksMenu.count":"{count, plural, =0 {არცერთი ამოცანა არ მუშავდება} one {# ამოცანა მუშავდება} other {# ამოცანები მუშავდებიან}}","codex.recentTasksMenu.empty":"ჯერჯერობით ნაკადების გარეშე","codex.recentTasksMenu.errorCloud":"ამოცანების ჩატვირთვა ვერ მოხერხდა.","codex.recentTasksMenu.errorCloud.inline":"ღრუბლოვანი ამოცანების ჩატვირთვა ვერ მოხერხდა.","codex.recentTasksMenu.filterAll":"ყველა","codex.recentTasksMenu.filterCloudTasks":"ღრუბლოვანი ამოცანების გაფილტვრა","codex.recentTasksMenu.filterTooltip":"ამოცანების გაფილტვრა გარემოს მიხედვით","codex.recentTasksMenu.local":"ადგილობრივი ამოცანები","codex.recentTasksMenu.recent":"ყველა ამოცანა","codex.recentTasksMenu.search":"უახლესი ამოცანების ძიება","codex.recentTasksMenu.searchEmpty":"შედეგის გარეშე","codex.recentTasksMenu.tooltip":"ამოცანის ისტორია","codex.recentTasksMenu.trigger":"უახლესი ამოცანები. {count, plural, one {# მუშავდება} other {# მუშავდება}}","codex.remoteConversation.applyDiff.applyCta":"ცვლილებების შეტანა","codex.remoteConversation.applyDiff.dropdownTitle":"ცვლილებების შეტანა ადგილობრივ განშტოებაში","codex.remoteConversation.applyDiff.revertCta":"ცვლილებების წინა ვერსიის დაბრუნება","codex.remoteConversation.closeImagePreview":"სურათის გადახედვის დახურვა","codex.remoteConversation.codexCloudTask":"თქვენ ათვალიერებთ <u>Codex-ის ღრუბლოვან</u> ამოცანას","codex.remoteConversation.errorWithMessage":"შეცდომა: {message}","codex.remoteConversation.loadingImage":"სურათი იტვირთება","codex.remoteConversation.openInWeb":"ვებში გახსნა","codex.remoteConversation.streaming":"დაწყება","codex.remoteConversation.turnFailed":"ამ ამოცანისას მოხდა შეცდომა","codex.remoteConversation.turnTab.loading":"მცდელობა {number}","codex.remoteConversation.turnTab.title":"მცდელობა {number}","codex.remoteConversation.userImageAttachment":"მომხმარებლის დანართი","codex.remoteConversation.viewPreviousTurns":"ვებში გახსნა","codex.remoteConversation.viewPreviousTurns.buttonText":"გახსნა","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ვებში გახსნა","codex.review.copyGitApplyCommand":"Git apply ბრძანების კოპირება","codex.review.copyGitApplyCommand.toast":"გაცვლის ბუფერში კოპირებულია git apply ბრძანება","codex.review.diffTooLarge.description":"ეს სხვაობა ზედმეტად დიდია მიმოხილვაში წარმოსაჩენად.","codex.review.diffTooLarge.title":"სხვაობა ზედმეტად დიდია წარმოსაჩენად","codex.review.expandOrCollapseDiffButton.collapse":"ყველა diff-ის ჩაკეცვა","codex.review.expandOrCollapseDiffButton.expand":"ყველა diff-ის გაშლა","codex.review.expandOrCollapseDiffMenu.collapse":"ყველა diff-ის ჩაკეცვა","codex.review.expandOrCollapseDiffMenu.expand":"ყველა diff-ის გაშლა","codex.review.fileSearch.clear":"ფაილის ფილტრის გასუფთავება","codex.review.fileSearch.empty":"არცერთი ფაილი არ ემთხვევა მიმდინარე ფილტრს.","codex.review.fileSearch.label":"ფაილების გაფილტვრა","codex.review.fileSearch.placeholder":"ფაილების გაფილტვრა…","codex.review.filesChanged":"{num, plural, =0 {ფაილები არ შეცვლილა} one {# ფაილი შეიცვალა} other {# ფაილი შეიცვალა}}","codex.review.find.loadMore":"მეტი დამთხვევის ჩატვირთვა","codex.review.fullReview.hideFileTree":"ფაილის ხის დამალვა","codex.review.fullReview.showFileTree":"ფაილის ხის ჩვენება","codex.review.header.moreOptions":"ვარიანტების მიმოხილვა","codex.review.largeDiff.banner":"ამოცნობილია ვრცელი სხვაობა — თითო ჯერზე ერთი ფაილია ნაჩვენები.","codex.review.loadFullFiles.disable":"არ ჩაიტვირთოს მთლიანი ფაილები","codex.review.loadFullFiles.enable":"მთლიანი ფაილების ჩატვირთვა","codex.review.noDiff":"ფაილის ცვლილებები აქ გამოჩნდება","codex.review.noDiff.gitInit.createRepository":"Git რეპოზიტორიუმის შექმნა","codex.review.noDiff.gitInit.creating":"იქმნება…","codex.review.noDiff.gitInit.error":"Git ინიციალიზაცია წარუმატებელია: {message}","codex.review.noDiff.gitInit.success":"Git რეპოზიტორიუმი შექმნილია","codex.review.noDiff.gitRepoRequired.description":"ამ პროექტში ცვლილებებისთვის თვალის დევნება და გაუქმება","codex.review.noDiff.gitRepoRequired.title":"Git რეპოზიტორიუმის შექმნა","codex.review.noDiff.orNoLongerAvailable":"ან უახლესი diff-ები აღარ არის ხელმისაწვდომი","codex.review.noDiff.reverted":"ბოლო ნაბიჯი წინა ვერსიაზე დაბრუნდა","codex.review.noDiff.revertedOrCommitted":"ბოლო ნაბიჯი წინა ვერსიაზე დაბრუნდა ან დაფიქსირდა","codex.review.refreshGitQueries":"განახლება","codex.review.revert.file.error":"{path}-ის წინა ვერსიის დაბრუნება ვერ მოხერხდა","codex.review.revert.file.partialSuccess":"{path} ნაწილობრივ დაბრუნდა წინა ვერსიაზე","codex.review.revert.file.success":"{path} დაბრუნდა წინა ვერსიაზე","codex.review.revert.hunk.error":"ვერ მოხერხდა {hunkNumber}-ლი ნაწილის დაბრუნება {path}-ში.","codex.review.revert.hunk.partialSuccess":"ნაწილობრივ იქნა დაბრუნებული ცვლილება {hunkNumber}, {path}-ში.","codex.review.revert.hunk.success":"ჰანკი {hunkNumber} დაბრუნდა {path}-ში.","codex.review.revert.section.error":"სექციის წინა ვერსიის დაბრუნება ვერ მოხერხდა","codex.review.revert.section.partialSuccess":"სექცია ნაწილობრივ დაბრუნდა წინა ვერსიაზე","codex.review.revert.section.success":"სექცია დაბრუნდა წინა ვერსიაზე","codex.review.revertDialog.cancel":"გაუქმება","codex.review.revertDialog.confirm":"დადასტურება","codex.review.revertDialog.message":"ეს მოქმედება ამოშლის ყველა ამ ცვლილებას.","codex.review.revertDialog.skip":"აღარ მკითხო","codex.review.revertDialog.title":"გსურთ ცვლილებების წინა ვერსიის დაბრუნება?","codex.review.richPreview.disable":"გაფართოებული გადახედვის გათიშვა","codex.review.richPreview.enable":"გაფართოებული გადახედვის ჩართვა","codex.review.source.cloud":"Cloud ცვლილებები","codex.review.source.local.all":"ყველა ბრენჩის ცვლილება","codex.review.source.local.lastTurn":"ბოლო ნაბიჯის ცვლილებები","codex.review.source.local.uncommitted":"შეუნახავი ცვლილებები","codex.review.source.worktree":"სამუშაო დირექტორიის დაუფიქსირებელი ცვლილებები","codex.review.stageFilter.empty.staged.description":"დაეთანხმეთ ჩასწორებებს მათი ინდექსირებისთვის","codex.review.stageFilter.empty.staged.title":"ინდექსირებული ცვლილებების გარეშე","codex.review.stageFilter.empty.unstaged.description":"კოდის ცვლილებები აქ გამოჩნდება","codex.review.stageFilter.empty.unstaged.title":"არაინდექსირებული ცვლილებების გარეშე","codex.review.stageFilter.staged":"ინდექსირებული","codex.review.stageFilter.staged.count":"ინდექსირებული · {count}","codex.review.stageFilter.unstaged":"არაინდექსირებული","codex.review.stageFilter.unstaged.count":"არაინდექსირებული · {count}","codex.review.switchToSplit":"გაყოფილ სხვაობაზე გადართვა","codex.review.switchToUnified":"ერთიან სხვაობაზე გადართვა","codex.review.toggleDiffView":"Diff-ის ხედის გადართვა","codex.review.wordDiffs.disable":"სიტყვის სხვაობების გათიშვა","codex.review.wordDiffs.enable":"სიტყვის სხვაობების ჩართვა","codex.review.wrap.disable":"ახალ ხაზზე გადატანის გათიშვა","codex.review.wrap.enable":"ახალ ხაზზე გადატანის ჩართვა","codex.section.patch.missing":"ამ სექციისთვის ჩასწორების შექმნა ვერ ხერხდება.","codex.shell.collapse":"შელის ჩაკეცვა","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"შელის კონტენტი კოპირებულია","codex.shell.copy.copyTooltip":"შელის კონტენტის კოპირება","codex.shell.copyCommand":"ბრძანების კოპირება","codex.shell.copyOutput":"გამოტანის კოპირება","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"შელის გაშლა","codex.shell.name":"შელი","codex.shell.noOutput":"გამომავალი მონაცემების გარეშე","codex.signInFailed.message":"შესვლა ვერ მოხერხდა: {rawMessage}","codex.stories.toast.show":"უწყების ჩვენება","codex.stories.tooltip.basic":"ეს მინიშნებაა","codex.stories.tooltip.hoverMe":"გადამატარე","codex.stories.tooltip.largerOffset":"ამ რჩევის ფანჯარას უფრო დიდი დაშორება აქვს","codex.stories.tooltip.offsetButton":"უფრო დიდი წანაცვლება","codex.stories.tooltip.shortcutButton":"მალსახმობით","codex.stories.tooltip.withShortcut":"ტერმინალის გადართვა","codex.taskRow.title":"ახალი ნაკადი","codex.taskRowLayout.confirm":"დადასტურება","codex.threadFindBar.chatFilter":"ჩეთში ძიება","codex.threadFindBar.close":"პოვნის ველის დახურვა","codex.threadFindBar.diffFilter":"სხვაობების ძიება","codex.threadFindBar.label":"ნაკადში პოვნა","codex.threadFindBar.nextResult":"შემდეგი შედეგი","codex.threadFindBar.noResults":"0 შედეგი","codex.threadFindBar.placeholder":"ნაკადში ძიება…","codex.threadFindBar.placeholder.extension":"ნაკადში ძიება…","codex.threadFindBar.placeholder.review":"სხვაობის ძიება…","codex.threadFindBar.placeholder.review.extension":"სხვაობის ძიება…","codex.threadFindBar.previousResult":"წინა შედეგი","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# ფაილი შეიცვალა} other {# ფაილები შეიცვალა}}","codex.unifiedDiff.inlineLargeFile":"ზედმეტად ვრცელია ტექსტში წარმოსაჩენად","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"მოქმედების გაუქმება","codex.unifiedDiff.revertPatchError":"ცვლილებების წინა ვერსიის დაბრუნება ვერ მოხერხდა","codex.unifiedDiff.revertPatchSuccess":"ცვლილებები წინა ვერსიაზე დაბრუნდა","codex.unifiedDiff.reviewChangesSuffix":"ცვლილებები","codex.unifiedDiff.reviewShort":"მიმოხილვა","codex.unifiedDiff.viewDiffTooltip":"მიმოხილვა","codex.upsellBanner.business.headline":"მეტი წვდომის ახლავე მისაღებად გაუგზავნეთ მოთხოვნა თქვენს ადმინისტრატორს ან დაიცადეთ {resetDate}-მდე.","codex.upsellBanner.cbp.headline":"მეტი წვდომის ახლავე მისაღებად გაუგზავნეთ მოთხოვნა თქვენს ადმინისტრატორს.","codex.upsellBanner.cta.addCredits":"კრედიტების დამატება","codex.upsellBanner.cta.upgradeAccount":"განახლება","codex.upsellBanner.cta.viewUsage":"მოხმარების ნახვა","codex.upsellBanner.free.trialHeadline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}. Codex-ის გამოყენების გასაგრძელებლად და GPT-5.3-Codex-ზე წვდომის მისაღებად დაიწყეთ Plus-ის თქვენი უფასო საცდელი პერიოდი დღეს.","codex.upsellBanner.freeOrGo.headline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}. Codex-ის გამოყენების გასაგრძელებლად გადადით Plus-ზე დღეს.","codex.upsellBanner.general.headline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}.","codex.upsellBanner.general.title":"თქვენ ამოგეწურათ Codex-ის შეტყობინებები","codex.upsellBanner.go.trialHeadline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}. Codex-ის გამოყენების გასაგრძელებლად დაიწყეთ Plus-ის თქვენი უფასო საცდელი პერიოდი დღეს.","codex.upsellBanner.plus.headline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}. Codex-ის გამოყენების გასაგრძელებლად დაამატეთ კრედიტები ან გადადით Pro-ზე დღეს.","codex.upsellBanner.pro.headline":"თქვენი გამოყენების ლიმიტის აღდგენის დროა {resetDate}. დაამატეთ კრედიტები ახლა Codex-ის გამოყენების გასაგრძელებლად.","codex.userMessage.autoResolveSync":"წინააღმდეგობების ავტომატური გადაჭრა","codex.userMessage.commentCount":"{count, plural, one {# კომენტარი} other {# კომენტარები}}","codex.userMessage.copiedAriaLabel":"კოპირებულია","codex.userMessage.copiedTooltip":"კოპირებულია","codex.userMessage.copyAriaLabel":"შეტყობინების კოპირება","codex.userMessage.copyTooltip":"კოპირება","codex.userMessage.implementPlan":"გეგმის განხორციელება","codex.userMessage.noContent":"(კონტენტის გარეშე)","codex.userMessage.priorConversation":"იყენებს ინფორმაციას წინა საუბარიდან","codex.userMessage.reviewMode":"მიმოხილვის რეჟიმი","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}-ისთვის","codex.webSearch.summary.verb.completed":"ვებში ძიება შესრულდა","codex.webSearch.summary.verb.inProgress":"მიმდინარეობს ვებში ძიება","codex.windowsInstallWslBanner.dismiss":"დახურვა","codex.windowsInstallWslBanner.installWslCta":"ოპერაციული გარემოს აბსტრაქციის ჩართვა","codex.windowsInstallWslBanner.learnMore":"ვრცლად","codex.windowsSandboxBanner.content":"აგენტის რეჟიმი იყენებს ექსპერიმენტულ ოპერაციული გარემოს აბსტრაქციას Windows-ზე ფაილთა სისტემასა და ქსელზე წვდომის შეზღუდვისთვის. {sandboxLink}","codex.windowsSandboxBanner.title":"ოპერაციული გარემოს აბსტრაქციის ჩართვა აგენტის რეჟიმისთვის","codex.windowsSubDropdown.windowsSandbox":"Windows ოპერაციული გარემოს აბსტრაქცია","codex.windowsSubDropdown.windowsSettings":"Windows პარამეტრები","codexUpgradeModal.body":"ჩვენი უახლესი მოწინავე აგენტური კოდირების მოდელი — უფრო ჭკვიანი, უფრო სწრაფი და უფრო ქმედუნარიანი ზოგად ტექნიკურ სამუშაოში. {link}","codexUpgradeModal.close":"დახურვა","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"ვრცლად","codexUpgradeModal.title":"წარმოგიდგენთ GPT-5.3-Codex-ს","codexUpgradeModal.tryNewModel":"ცადეთ GPT-5.3-Codex ახლავე","codexUpgradeModal.useExistingModel":"მიმდინარე მოდელით გაგრძელება","commentAttachments.numComments":"{count, plural, one {# კომენტარი} other {# კომენტარები}}","commentAttachments.removeAriaLabel":"კომენტარების დანართის ამოშლა","common.close":"დახურვა","composer.addContext.openFilePickerError":"ფაილის ამომრჩევის გახსნა ვერ ხერხდება","composer.addContextDropdown.ariaLabel":"ფაილების დამატება და მეტი","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ფაილების დამატება და მეტი","composer.addPhotosAndFiles":"ფოტოების და ფაილების დამატება","composer.atMentionList.emptyQuery":"აკრიფეთ ფაილების ძიებისთვის","composer.atMentionList.loading":"იძებნება…","composer.atMentionList.noResults":"შედეგები არ არის","composer.attemptsSelector.option":"{count, plural, one {# ვერსია} other {# ვერსიები}}","composer.attemptsSelector.tooltip":"Codex-ის მიერ შესასრულებელი პარალელური მცდელობების რაოდენობა","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"შეწყვეტა","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"ადგილობრივი","composer.cloudFollowUp.whereRun":"სად უნდა გაეშვას ეს გაგრძელება?","composer.cloudTaskCreationError":"შეცდომა ღრუბლოვანი ამოცანის შექმნისას","composer.cloudTaskError":"შეცდომა ამოცანის შექმნისას","composer.contextWindow.autoCompactionTooltipLine1":"Codex ავტომატურად კუმშავს თავის კონტექსტს","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"კონტექსტის ფანჯარა:","composer.contextWindowUsageStatusFull":"ათვისებულია {usage} %","composer.contextWindowUsageStatusLeft":"{usage}% გამოყენებულია (დარჩენილია {remaining}%)","composer.contextWindowUsageTooltip":"გამოყენებულია {usedTokens}ათასი {contextWindow}ათასი ჟეტონიდან","composer.customCliTooltip":"გამოყნებულია მორგებული შესრულებადი CLI","composer.dictation.aria":"კარნახი","composer.dictation.cancel.aria":"კარნახის შეწყვეტა","composer.dictation.cancel.tooltip":"კარნახის შეწყვეტა","composer.dictation.startError":"კარნახის დაწყება ვერ ხერხდება","composer.dictation.submit.aria":"ტრანსკრიბირება და გაგზავნა","composer.dictation.submit.tooltip":"ტრანსკრიბირება და გაგზავნა","composer.dictation.tooltip":"დააჭირეთ კარნახისთვის","composer.dictation.transcribeError":"აუდიოს ტრანსკრიბირება ვერ ხერხდება","composer.dictation.unsupported":"კარნახი არ არის ხელმისაწვდომი ამ მოწყობილობაზე","composer.dropOverlay.holdShift":"არ აუშვათ {key}-ს გადასატანად","composer.dropOverlay.shiftKey":"შიფტი","composer.environmentSelector.createNew":"ახლის შექმნა","composer.environmentSelector.error":"შეცდომა გარემოების ჩატვირთვისას","composer.environmentSelector.goBack":"შემდგენელში დაბრუნება","composer.environmentSelector.title":"გარემოს არჩევა","composer.environmentSelector.tooltip":"ღრუბლოვანი გარემოს არჩევა","composer.feedbackSlashCommand.title":"გამოხმაურება","composer.filePicker.selectFile":"ფაილის არჩევა","composer.filePicker.selectFiles":"ფაილების არჩევა","composer.followerTooltip":"გასაგრძელებლად დაბრუნდით ფანჯარაზე, სადაც ეს საუბარი დაიწყო.","composer.footer.branchSwitch.checkoutError":"განშტოების გადართვა წარუმატებელია: {message}","composer.footer.branchSwitch.createAndCheckout":"ახალი განშტოების შექმნა და გამოტანა…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"დააფიქსირეთ ცვლილებები ახალი განშტოების შექმნისა და გამოტანისთვის","composer.footer.branchSwitch.createBranchError":"განშტოების შექმნა ვერ მოხერხდა: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"განშტოების სახელი","composer.footer.branchSwitch.createDialog.branchExistsError":"განშტოება უკვე არსებობს.","composer.footer.branchSwitch.createDialog.close":"დახურვა","composer.footer.branchSwitch.createDialog.createAndCheckout":"შექმნა და გამოტანა","composer.footer.branchSwitch.createDialog.placeholder":"ახალი-განშტოება","composer.footer.branchSwitch.createDialog.title":"განშტოების შექმნა და გამოტანა","composer.footer.branchSwitch.createDialog.trailingSlashError":"განშტოების სახელი არ შეიძლება მთავრდებოდეს შემდეგით: „/“.","composer.footer.branchSwitch.tooltip":"განშტოების გადართვა","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"დააფიქსირეთ ცვლილებები {fileCount, plural, one {# ფაილი} other {# ფაილი}}-ში, რომ გადართოთ {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"კომიტი","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"ცვლილებები {fileCount, plural, one {# ფაილი} other {# ფაილი}}-ში, რომ გადართოთ {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"გაუქმება","composer.footer.branchSwitch.uncommittedDialog.commit":"დააფიქსირეთ და გადართეთ განშტოება...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"თქვენს ფაილებში შეტანილი ცვლილებები გადაიწერება განშტოების გადართვისას:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"დააფიქსირეთ ცვლილებები გასაგრძელებლად","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"არჩეული განშტოება","composer.footer.branchSwitch.uncommittedDialog.title":"დააფიქსირეთ ცვლილებები განშტოების გადასართავად","composer.footer.branchSwitch.uncommittedSummaryPrefix":"დაუფიქსირებელი: {fileCount, plural, one {# ფაილი} other {# ფაილი}}","composer.forkSlashCommand.description":"ამ ნაკადის განშტოება ადგილობრივ ან ახალ სამუშაო დირექტორიაში","composer.forkSlashCommand.option.local.description":"ახალ ადგილობრივ ნაკადში გაგრძელება","composer.forkSlashCommand.option.local.title":"ადგილობრივში განშტოება","composer.forkSlashCommand.option.worktree.description":"ახალ სამუშაო დირექტორიაში გაგრძელება","composer.forkSlashCommand.option.worktree.title":"ახალ სამუშაო დირექტორიაში განშტოება","composer.forkSlashCommand.title":"განშტოება","composer.ideContextIndicator":"ინტეგრირებული განვითარების გარემოს კონტექსტი","composer.ideContextIndicator.tooltipSlashCommand":"/ინტეგრირებული განვითარების გარემო","composer.ideContextIndicator.tooltipText":"კონტექსტის დართვა ინტეგრირებული განვითარების გარემოდან","composer.ideContextIndicator.tooltipToggle":"გადასართავად","composer.ideContextSlashCommand.disableDescription":"ინტეგრირებული განვითარების გარემოს კონტექსტის გამორთვა","composer.ideContextSlashCommand.enableDescription":"დაურთეთ მიმდინარე მონიშვნა, ღია ფაილები და სხვა კონტექსტი თქვენი ინტეგრირებული განვითარების გარემოდან","composer.ideContextSlashCommand.title":"ინტეგრირებული განვითარების გარემოს კონტექსტი","composer.imageInputsUnsupported":"ამ მოდელის მიერ არ არის მხარდაჭერილი სურათის შენატანები. ცადეთ სხვა მოდელი.","composer.imageUploadFailed":"სურათის ატვირთვა ვერ მოხერხდა","composer.includeIdeContextDropdown":"ინტეგრირებული განვითარების გარემოს (IDE) კონტექსტის დამატება","composer.includeIdeContextDropdown.ariaLabel":"ინტეგრირებული განვითარების გარემოს (IDE) კონტექსტის დამატება","composer.localCwdDropdown.addWorkspaceRoot":"ახალი პროექტის დამატება","composer.localCwdDropdown.noActiveRoot":"თქვენი პროექტის არჩევა","composer.localCwdDropdown.noResults":"საქაღალდეები ვერ მოიძებნა","composer.localCwdDropdown.title":"თქვენი პროექტის არჩევა","composer.localTaskError":"შეცდომა საუბრის დაწყებისას","composer.mcpSlashCommand.description":"მოდელის კონტექსტის პროტოკოლის (MCP) სერვერის სტატუსის სიმულაცია","composer.mcpSlashCommand.title":"მოდელის კონტექსტის პროტოკოლი (MCP)","composer.mcpStatus.authLoggedOut":"არ არის ავტორიზებული","composer.mcpStatus.authOauth":"ავტორიზებული (OAuth)","composer.mcpStatus.authToken":"ავტორიზებული (გამოყენებითი პროგრამების ინტერფეისის გასაღები)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"დახურვა","composer.mcpStatus.disabled":"გამორთული","composer.mcpStatus.emptyLabel":"სერვერები:","composer.mcpStatus.emptyValue":"არცერთი MCP სერვერი არ არის კონფიგურირებული","composer.mcpStatus.enabled":"გააქტიურებული","composer.mcpStatus.errorLabel":"სტატუსი:","composer.mcpStatus.errorValue":"MCP სტატუსის ჩატვირთვა ვერ ხერხდება","composer.mcpStatus.heading":"მოდელის კონტექსტის პროტოკოლი (MCP)","composer.mode.agentMode.auto":"აგენტი","composer.mode.agentMode.auto.dropdownLabel":"აგენტი","composer.mode.agentMode.auto.optionLabel":"აგენტი","composer.mode.agentMode.changePermission":"რეჟიმის გადართვა","composer.mode.agentMode.custom":"მორგებული","composer.mode.agentMode.custom.dropdownLabel":"მორგებული","composer.mode.agentMode.custom.option":"მორგებული (config.toml)","composer.mode.agentMode.custom.optionLabel":"მორგებული (config.toml)","composer.mode.agentMode.customInfo.cancel":"გაუქმება","composer.mode.agentMode.customInfo.cli":"ამ პარამეტრების კორექტირება CLI-დან ან პირდაპირ ფაილის რედაქტირებით შეგიძლიათ.","composer.mode.agentMode.customInfo.confirm":"მორგებული რეჟიმის გამოყენება","composer.mode.agentMode.customInfo.description":"მორგებული რეჟიმი იყენებს დამტკიცებისა და ოპერაციული გარემოს აბსტრაქციის წესებს, როგორც ეს აღწერილია თქვენს <link>config.toml</link> ფაილი.","composer.mode.agentMode.customInfo.docs":"ვრცლად დამტკიცებისა და ოპერაციული გარემოს აბსტრაქციის წესების კონფიგურაციის შესახებ <link>შესრულების გარემოს დოკუმენტებში</link>.","composer.mode.agentMode.customInfo.refresh":"ნებისმიერი ცვლილება ძალაში შევა აგენტის შემდეგი გაშვებისას.","composer.mode.agentMode.customInfo.title":"მორგებული რეჟიმის მუშაობის პრინციპი","composer.mode.agentMode.fullAccess":"აგენტი (სრული წვდომა)","composer.mode.agentMode.fullAccess.dropdownLabel":"აგენტი (სრული წვდომა)","composer.mode.agentMode.fullAccess.optionLabel":"აგენტი (სრული წვდომა)","composer.mode.agentMode.fullAccessConfirm.caution":"გამოიჩინეთ სიფრთხილე სრული წვდომის ჩართვისას. ეს მნიშვნელოვნად ზრდის მონაცემთა დაკარგვის, გაჟონვის თუ მოულოდნელი ქცევის რისკს.","composer.mode.agentMode.fullAccessConfirm.confirm":"დიახ, მაინც მსურს გაგრძელება","composer.mode.agentMode.fullAccessConfirm.description":"როდესაც Codex სრული წვდომითაა გაშვებული, მას თქვენს კომპიუტერზე ნებისმიერი ფაილის რედაქტირება და ქსელით ბრძანებების გაშვება შეუძლია, თქვენი დამტკიცების გარეშე.","composer.mode.agentMode.fullAccessConfirm.goBack":"გაუქმება","composer.mode.agentMode.fullAccessConfirm.title":"გსურთ სრული წვდომის მინიჭება?","composer.mode.agentMode.readOnly":"ჩეთი","composer.mode.agentMode.readOnly.dropdownLabel":"ჩეთი","composer.mode.agentMode.readOnly.optionLabel":"ჩეთი","composer.mode.agentMode.tooltip":"რეჟიმის გადართვა","composer.mode.agentMode.tooltip.auto":"ფაილების წაკითხვა და რედაქტირება, ასევე ბრძანებების გაშვება.","composer.mode.agentMode.tooltip.custom":"დამტკიცების და ოპერაციული გარემოს აბსტრაქციის უახლესი წესების გამოყენება, რომელიც განსაზღვრლია config.toml-ში.","composer.mode.agentMode.tooltip.fullAccess":"Codex-ს შეუძლია ფაილების რედაქტირება ამ პროექტის გარეთ და ბრძანებების გაშვება ქსელზე წვდომით. გამოყენებისას გამოიჩინეთ სიფრთხილე.","composer.mode.agentMode.tooltip.readOnly":"საჭიროებს დამტკიცებას ფაილების რედაქტირებისა და ბრძანებების გაშვებისთვის.","composer.mode.cloud.tooltip":"ღრუბლოვან გარემოში მუშაობა","composer.mode.contactAdmin":"მეტი წვდომის მისაღებად დაუკავშირდით თქვენს ადმინისტრატორს","composer.mode.local":"ადგილობრივი","composer.mode.local.learnMore":"ვრცლად","composer.mode.local.model.custom":"მორგებული","composer.mode.local.model.loadingModel":"მოდელი იტვირთება","composer.mode.local.model.selecrReasoningEffort":"ღრმად დაფიქრების არჩევა","composer.mode.local.model.selectModel":"მოდელის არჩევა","composer.mode.local.model.tooltip":"მოდელის არჩევა","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"მაღალი","composer.mode.local.reasoning.low.label":"დაბალი","composer.mode.local.reasoning.medium.label":"საშუალო","composer.mode.local.reasoning.minimal.label":"მინიმალური","composer.mode.local.reasoning.none.label":"არცერთი","composer.mode.local.reasoning.xhigh.label":"განსაკუთრებით მაღალი","composer.mode.localRemoteWhereRun":"აირჩიეთ, სად გაუშვათ ამოცანა","composer.mode.newTask.header":"გაგრძელება შემდეგში:","composer.mode.rateLimit.day":"{days}დ","composer.mode.rateLimit.heading":"ტარიფის დარჩენილი ლიმიტი","composer.mode.rateLimit.hour":"{hours}სთ","composer.mode.rateLimit.minute":"{minutes}წთ","composer.mode.rateLimit.modelSectionLabel":"{modelName}-იანი ლიმიტი:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ყოველკვირეული ლიმიტი} other {{weeks}-კვირიანი შეზღუდული}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ყოველკვირეული} other {{weeks} კვირა}}","composer.mode.remote.connectToCloud":"Codex ვების დაკავშირება","composer.mode.remote.connectToCloudDisabledTooltip":"გარემოს დაყენება Codex ვების მეშვეობით ამოცანების ღრუბელზე გაგზავნის ჩასართავად","composer.mode.remote.selectEnvironment":"გარემოს არჩევა","composer.mode.remote.sendToCloud":"ღრუბელზე გაგზავნა","composer.mode.remote.setupViaWeb":"გარემოს დაყენება Codex ვების მეშვეობით","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ღრუბლოვან გარემოში მუშაობა","composer.mode.segmentedToggle.local.tooltip":"თქვენს ადგილობრივ პროექტში მუშაობა","composer.mode.segmentedToggle.worktree.tooltip":"პარალელურ სამუშაო დირექტორიაში მუშაობა","composer.mode.upgradeToPlus":"Plus-ზე გადასვლა","composer.mode.upgradeToPro":"Pro-ს გამოწერა","composer.mode.workLocally":"ადგილობრივი პროექტი","composer.mode.workLocally.currentBranchFallback":"თქვენი განშტოება","composer.mode.workLocally.tooltip":"{branchName}-ზე მუშაობა","composer.mode.worktree":"ახალი worktree","composer.mode.worktree.submoduleWarning":"ამ რეპოზიტორიუმს აქვს Git ქვემოდულები. სამუშაო დირექტორიის შექმნა შესაძლოა წარუმატებელი იყოს","composer.mode.worktree.tooltip":"შექმენით თქვენი პროექტის ასლი პარალელურად მუშაობისთვის","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"მოდელების საუბრის მიმდინარეობისას შეცვლა მწარმოებლურობას შეამცირებს.","composer.newChat.heading.browser":"რისი კოდი დავწეროთ შემდეგში?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex იყენებს config.toml-ში განსაზღვრულ ნებართვას.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex-ს აქვს სრული წვდომა თქვენს კომპიუტერზე (გაზრდილი რისკი)","composer.permissionsDropdown.custom.label":"მორგებული (config.toml)","composer.permissionsDropdown.custom.optionLabel":"მორგებული (config.toml)","composer.permissionsDropdown.default.label":"ნაგულისხმევი ნებართვები","composer.permissionsDropdown.default.optionLabel":"ნაგულისხმევი ნებართვები","composer.permissionsDropdown.default.tooltip":"Codex ავტომატურად უშვებს ბრძანებებს ოპერაციული გარემოს აბსტრაქციაში","composer.permissionsDropdown.disabled.requirements":"ნებართვები ჩაკეტილია requirements.toml-ის მიერ","composer.permissionsDropdown.fullAccess.disabled":"სრული წვდომა გათიშულია requirements.toml-ის მიერ","composer.permissionsDropdown.fullAccess.label":"სრული წვდომა","composer.permissionsDropdown.fullAccess.optionLabel":"სრული წვდომა","composer.permissionsDropdown.trigger.tooltip":"ნებართვების შეცვლა","composer.personalitySlashCommand.description.friendly":"თბილი, თანამშრომლობითი და სასარგებლო","composer.personalitySlashCommand.description.pragmatic":"მოკლე, ამოცანაზე ფოკუსირებული და პირდაპირი","composer.personalitySlashCommand.label.friendly":"მეგობრული","composer.personalitySlashCommand.label.pragmatic":"პრაგმატული","composer.personalitySlashCommand.notApplicableSuffix":"(არ მიესადაგება მიმდინარე მოდელს)","composer.personalitySlashCommand.title":"პიროვნულობა","composer.placeholder.cloudFollowUp.directFollowUp":"ამ ღრუბლოვანი ამოცანის გაგრძელება","composer.placeholder.cloudFollowUp.local":"ახალი ადგილობრივი ამოცანის შექმნა, რომელიც იმოწმებს ამ ღრუბლოვან ამოცანას","composer.placeholder.cloudFollowUp.workingTree":"ახალი ადგილობრივი ამოცანის შექმნა, რომელიც მოიცავს თქვენს მიმდინარე კოდს და დაიმოწმებს ამ ამოცანას","composer.placeholder.localFollowUp.cloud":"ახალი ღრუბლოვანი ამოცანის გაგრძელება","composer.placeholder.localFollowUp.locally":"შემდგომი ცვლილებების მოთხოვნა","composer.placeholder.newTask.cloud":"სთხოვეთ Codex-ს ნებისმიერი რამის შესრულება ღრუბელში","composer.placeholder.newTask.doAnything":"სთხოვეთ Codex-ს ნებისმიერი რამის შესრულება","composer.placeholder.newTask.locally":"ჰკითხეთ Codex-ს ნებისმიერი რამ, @ ფაილების დასამატებლად, / ბრძანებებისთვის","composer.planModeDropdown":"გეგმის რეჟიმი","composer.planModeDropdown.ariaLabel":"გეგმის რეჟიმი","composer.planModeIndicator":"გეგმა","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"გეგმის შექმნა Codex-თან ერთად","composer.planModeIndicator.tooltipToggle":"გადასართავად","composer.planSlashCommand.disableDescription":"გეგმის რეჟიმის გამორთვა","composer.planSlashCommand.enableDescription":"გეგმის რეჟიმის ჩართვა","composer.planSlashCommand.title":"გეგმის რეჟიმი","composer.priorContext.label":"წინა კონტექსტი","composer.priorContext.removeAriaLabel":"წინა კონტექსტის ამოშლა","composer.queuedMessage.delete":"რიგში მყოფი შეტყობინების წაშლა","composer.queuedMessage.edit":"შეტყობინების რედაქტირება","composer.queuedMessage.more":"რიგში მყოფი შეტყობინების მოქმედებები","composer.queuedMessage.sendNow":"ხელმძღვანელობა","composer.queuedMessage.sendNowTooltip":"ახლავე გაგზავნა სამუშაოს შეწყვეტის გარეშე","composer.queuedMessage.turnOff":"რიგში ჩაყენების გამორთვა","composer.reasoningEffort.local.reasoning.tooltip":"ღრმად დაფიქრების ძალისხმევის არჩევა","composer.remote.branchStartingPoint":"რომელი განშტოებით უნდა იწყებოდეს ეს ამოცანა?","composer.remote.branchesSectionHeading":"განშტოებები","composer.remote.currentEditsSuffix.followUp":"ახალი ამოცანის შექმნა, რომელიც იმოწმებს ამ ღრუბლოვან ამოცანას.","composer.remote.currentEditsSuffix.useLocal":"კოდის ადგილობრივი ცვლილებებით","composer.remote.directFollowUp":"არ იქნეს გამოყენებული ადგილობრივი ცვლილებები","composer.remote.errorLoadingBranches":"შეცდომა დაფიქსირდა განშტოებების ჩატვირთვისას","composer.remote.fromBranch":"{branch}-დან","composer.remote.fromCurrentBranch":"{branch}-დან (მიმდინარე)","composer.remote.loadingMoreBranches":"იტვირთება...","composer.remote.localFileStateHeading":"ადგილობრივი ფაილის მდგომარეობა","composer.remote.localWorkingTree":"ადგილობრივი ცვლილებების გამოყენება","composer.remote.startingPoint":"რომელი კოდით უნდა იწყებოდეს ეს ამოცანა?","composer.reviewMode.branches.error":"განშტოებების ჩატვირთვა ვერ მოხერხდა","composer.reviewMode.branches.retry":"ხელახლა ცდა","composer.reviewMode.gitRoot.error":"Git-ის ძირი არ მოიძებნა","composer.reviewMode.option.baseBranch.simple":"მიმოხილვა საბაზისო განშტოებასთან მიმართებით","composer.reviewMode.option.unstaged.simple":"დაუფიქსირებელი ცვლილებების მიმოხილვა","composer.reviewMode.quickReviewError":"კოდის მიმოხილვის დაწყება ვერ მოხერხდა.","composer.reviewMode.title":"კოდის შემოწმება","composer.sandboxButton.unlock.disabled.tooltip":"სრული წვდომა გათიშულია requirements.toml-ის მიერ","composer.sandboxButton.windowsSandboxDialog.content":"Codex-ს შეუძლია ექსპერიმენტულ ოპერაციული გარემოს აბსტრაქციის გამოყენება Windows-ზე ფაილთა სისტემასა და ქსელზე წვდომის შეზღუდვისთვის. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"ჩაირთოს Windows ოპერაციული გარემოს აბსტრაქცია?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"მხოლოდ წაკითხვისთვის გამოყენება","composer.searchEnvironments":"გარემოების ძებნა","composer.skillMentionList.app":"აპი","composer.skillMentionList.loading":"უნარები იტვირთება…","composer.skillMentionList.noResults":"უნარები არ არის ნაპოვნი","composer.slashCommands.cloudEnvironment.title":"Cloud გარემო","composer.slashCommands.dialogLabel":"სლეშ ბრძანების მენიუ","composer.slashCommands.dialogTitle":"სლეშ ბრძანებები","composer.slashCommands.disabledTooltip":"ახალი საუბრის დაწყება სლეშ ბრძანებების გამოსაყენებლად","composer.slashCommands.inputPlaceholder":"ძიება","composer.slashCommands.noResults":"ბრძანებების გარეშე","composer.slashCommands.skillsGroup":"უნარები","composer.slashCommands.tooltip":"სლეშ ბრძანებების დათვალიერება","composer.status.close":"დახურვა","composer.statusPlain.alertLabel":"გაფრთხილება:","composer.statusPlain.alertValue":"დარჩენილია {remaining} % {window}-ზე","composer.statusPlain.contextLabel":"კონტექსტი:","composer.statusPlain.contextTotal":"{count}(ათასი)","composer.statusPlain.contextValueMetadata":"(გამოყენებულია {used} / {total})","composer.statusPlain.contextValueRemaining":"დარჩენილია {remaining} %","composer.statusPlain.heading":"სტატუსი","composer.statusPlain.modelRateLimitSectionLabel":"{modelName}-იანი ლიმიტი:","composer.statusPlain.rateLimitDays":"{count}დღე ლიმიტი","composer.statusPlain.rateLimitFallbackLabel":"სიჩქარის ლიმიტი:","composer.statusPlain.rateLimitHours":"{count}სთ ლიმიტი","composer.statusPlain.rateLimitLabelBase":"სიჩქარის ლიმიტი","composer.statusPlain.rateLimitMinutes":"{count}წთ ლიმიტი","composer.statusPlain.rateLimitPercent":"დარჩენილია {remaining} %","composer.statusPlain.rateLimitReset":"განახლდება {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"გადაყენების დრო მიუწვდომელია","composer.statusPlain.rateLimitUnavailable":"მიუწვდომელია","composer.statusPlain.sessionCopiedAriaLabel":"სესიის ID კოპირებულია","composer.statusPlain.sessionCopiedTooltip":"ID კოპირებულია","composer.statusPlain.sessionCopyAriaLabel":"სესიის ID-ს კოპირება","composer.statusPlain.sessionCopyTooltip":"ID-ს კოპირება","composer.statusPlain.sessionLabel":"სესია:","composer.statusSlashCommand.description":"ნაკადი ID-ს, კონტექტის გამოყენებისა და სიჩქარის შეზღუდვების ჩვენება","composer.statusSlashCommand.title":"სტატუსი","composer.submit.blockedDialogOk":"კარგი","composer.submit.blockedDialogTitle":"შეტყობინების გაგზავნა შეუძლებელია","composer.submit.emptyMessage":"დასაწყებად შეიყვანეთ შეტყობინება","composer.submit.imageInputsUnsupported":"ამოშალეთ სურათები ან გადართეთ მოდელები ამ შეტყობინების გასაგზავნად.","composer.submit.loadingLocalConfig":"იტვირთება...","composer.submit.missingCloudConfig":"უნდა აირჩიოთ ღრუბლოვანი გარემო","composer.submit.missingCloudTurn":"ამ ამოცანის გაგრძელება შეუძლებელია","composer.submit.noWorkspace":"დაამატეთ პროექტი Codex-ის გამოსაყენებლად","composer.submit.waitForImageUploads":"სურათები იტვირთება…","composer.submitButtonTooltip.send":"გაგზავნა","composer.submitButtonTooltip.stop":"შეწყვეტა","composer.worktreeEnvironment.create":"ადგილობრივი გარემოს შექმნა","composer.worktreeEnvironment.default":"ნაგულისხმევი გარემო","composer.worktreeEnvironment.error":"შეცდომა გარემოების ჩატვირთვისას","composer.worktreeEnvironment.loading":"გარემოები იტვირთება…","composer.worktreeEnvironment.title":"ადგილობრივი გარემო","composer.worktreeEnvironment.tooltip":"ადგილობრივი გარემოს არჩევა","composer.worktreeSetupFailed":"სამუშაო დირექტორიის დაყენება წარუმატებელია. შეამოწმეთ .codex/environments დაყენების სცენარისთვის.","compoundButton.secondaryAction":"მეორადი მოქმედება","copyButton.copied":"კოპირებულია","copyButton.copiedAriaLabel":"კოპირებულია","copyButton.copy":"კოპირება","copyButton.copyAriaLabel":"კოპირება","copyButton.copyCode":"კოდის კოპირება","diff.actionButton.revertFile":"ფაილის წინა ვერსიის დაბრუნება","diff.actionButton.revertHunk":"წინა ვერსიის დაბრუნება","diff.actionButton.revertSection":"ყველაფრის წინა ვერსიის დაბრუნება","diff.actionButton.revertSectionLabel":"ყველაფრის წინა ვერსიის დაბრუნება","diff.actionButton.stageFile":"ფაილის ინდექსირება","diff.actionButton.stageHunk":"ინდექსირება","diff.actionButton.stageSection":"ყველაფრის ინდექსირება","diff.actionButton.stageSectionLabel":"ყველაფრის ინდექსირება","diff.actionButton.unstageFile":"ფაილის ინდექსირების გაუქმება","diff.actionButton.unstageHunk":"ინდექსირების გაუქმება","diff.actionButton.unstageSection":"ყველაფრის ინდექსირების გაუქმება","diff.actionButton.unstageSectionLabel":"ყველაფრის ინდექსირების გაუქმება","diff.fileHeader.toggle":"ფაილის სხვაობის გადართვა","electron.onboarding.login.apikey.cancel":"გაუქმება","electron.onboarding.login.apikey.continue":"გაგრძელება","electron.onboarding.login.apikey.label":"OpenAI-ს გამოყენებითი პროგრამების ინტერფეისის გასაღები","electron.onboarding.login.apikey.open":"გამოყენებითი პროგრამების ინტერფეისის გასაღების შეყვანა","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"შესვლის გაუქმება","electron.onboarding.login.chatgpt.continue":"ChatGPT-თ გაგრძელება","electron.onboarding.login.devbox":"დისტანციურ SSH-თან დაკავშირება","electron.onboarding.login.error":"შესვლა ვერ მოხერხდა: {rawMessage}","electron.onboarding.login.snake.start":"Snake-ის თამაში","electron.onboarding.login.sshConfig.cancel":"გაუქმება","electron.onboarding.login.sshConfig.continue":"გაგრძელება","electron.onboarding.login.sshConfig.hostnameLabel":"SSH ჰოსტის სახელი","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"საუკეთესო გზა აგენტებთან ერთად შესაქმნელად","electron.onboarding.login.title":"მოგესალმებათ Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"გაგრძელება","electron.onboarding.welcome.doubleLimits.description":"Codex-ის აპის ჩაშვების აღსანიშნავად 2 აპრილამდე გამოყენების გაორმაგებული ლიმიტები გაქვთ.","electron.onboarding.welcome.freego.description":"Codex უფასოდ შედის თქვენს გეგმაში 2 მარტამდე — მოდით, ერთად შექმნა დავიწყოთ.","electron.onboarding.welcome.new.title.anon":"მოგესალმებით!","electron.onboarding.workspace.continue":"გაგრძელება","electron.onboarding.workspace.empty":"დაამატეთ პროექტი გასაგრძელებლად.","electron.onboarding.workspace.listLabel":"ხელმისაწვდომი პროექტები","electron.onboarding.workspace.loading":"პროექტები იტვირთება…","electron.onboarding.workspace.openFolder":"პროექტის დამატება","electron.onboarding.workspace.selectAll":"ყველას არჩევა","electron.onboarding.workspace.skip":"გამოტოვება","electron.onboarding.workspace.skip.error":"ახალი პროექტის შექმნა ვერ მოხერხდა: {message}","electron.onboarding.workspace.skip.error.unknown":"უცნობი შეცდომა","electron.onboarding.workspace.skipping":"მიმდინარეობს ახალი პროექტის შექმნა…","electron.onboarding.workspace.subtitle":"Codex შეძლებს ფაილების რედაქტირებას და ბრძანებების გაშვებას არჩეულ საქაღალდეებში.","electron.onboarding.workspace.title":"აირჩიეთ პროექტი","errorPage.list.checkSettings":"ცადეთ თქვენი IDE პარამეტრების განახლება","errorPage.list.configToml":"შეამოწმეთ თქვენი config.toml არასწორ პარამეტრებზე","errorPage.list.downloadExtension":"ცადეთ გაფართოების განსხვავებული ვერსიის ჩამოტვირთვა","errorPage.list.runInWsl":"შეამოწმეთ თქვენი პარამეტრები WSL-ში გაშვების გასათიშად, თუ შესაბამისობის პრობლემებს აწყდებით","execApprovalRequest.menu.runAlways":"დიახ, და მეტი აღარ მკითხო ამ სესიაზე","execApprovalRequest.menu.runAlwaysWithAmendment":"დიახ და აღარ მკითხო ბრძანებებისთვის, რომლებიც იწყება შემდეგით: {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"დიახ და აღარ მკითხო ბრძანებებისთვის, რომლებიც იწყება შემდეგით:","execApprovalRequest.menu.runOnce":"დიახ","execApprovalRequest.prompt":"გსურთ ამ ბრძანების გაშვება?","execApprovalRequest.reject":"არა","execFooter.exitCode":"გასვლის კოდი {code}","execFooter.exitCode.unknown":"უცნობი","execFooter.success":"წარმატებით შესრულდა","feedback.dialog.category.badResult":"ცუდი შედეგი","feedback.dialog.category.bug":"ხარვეზი","feedback.dialog.category.goodResult":"კარგი შედეგი","feedback.dialog.category.other":"სხვა","feedback.dialog.descriptionPlaceholder":"აღწერეთ პრობლემა აქ","feedback.dialog.dismiss":"დახურვა","feedback.dialog.includeLogsLabel":"Codex-ის სესიის მიმდინარე პროტოკოლების გამოყენება","feedback.dialog.submit":"წარდგენა","feedback.dialog.submitError":"თქვენი გამოხმაურება ვერ წარვადგინეთ. ცადეთ ხელახლა რამდენიმე წუთში.","feedback.dialog.title":"გამოხმაურება","feedback.dialog.uploadedMessage.existingIssue":"არსებული ღია პრობლემა","feedback.dialog.uploadedMessage.openIssue":"GitHub-ის პრობლემის გახსნა","feedback.dialog.uploadedMessage.withThread":"გამოხმაურება ატვირთულია. თუ პრობლემა არ მოგვარდება, {openIssueLink} ან მოიხსენიეთ ნაკადის ID {existingIssueLink}-ში.","feedback.dialog.uploadedTitle":"გამოხმაურება ატვირთულია","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename}-ის ამოშლა","header.back":"უკან","header.recentChats":"ამოცანები","header.recentTasks.seeAll":"ყველას ნახვა ({total})","home.header.getPlus":"Plus გამოწერის გაფორმება","home.hero.letsBuild":"მოდით, შევქმნათ","homePage.mainContent":"მთავარი კონტენტი","imageAttachment.defaultName":"სურათი","imageAttachment.preview.close":"სურათის გადახედვის დახურვა","imageAttachment.removeAriaLabel":"{filename}-ის ამოშლა","implementPlanRequest.option.implement":"დიახ, განხორციელდეს ეს გეგმა","implementPlanRequest.prompt":"გსურთ ამ გეგმის განხორციელება?","inbox.archived.deleteError":"დაარქივებული გაშვების წაშლა ვერ მოხერხდა","inbox.archived.deleteRun":"დაარქივებული გაშვების წაშლა","inbox.archived.deleteSuccess":"დაარქივებული ნაკადი წაიშალა. იხილეთ <settingsLink>დაარქივებულ ნაკადებში</settingsLink>.","inbox.archived.inlineLabel.auto":"ეს ნაკადი ავტომატურად დაარქივდა. <learnMoreLink>ვრცლად</learnMoreLink>","inbox.archived.inlineLabel.manual":"ეს ნაკადი დაარქივდა.","inbox.archived.noMessageFound":"შეტყობინება არ არის ნაპოვნი","inbox.automations.createError":"ავტომატიზაციის შექმნა ვერ მოხერხდა","inbox.automations.deleteConfirm.cancel":"გაუქმება","inbox.automations.deleteConfirm.confirm":"ავტომატიზაციის წაშლა","inbox.automations.deleteConfirm.description":"ეს სამუდამოდ წაშლის ავტომატიზაციას და შეწყვეტს ყველა მომავალ გაშვებას.","inbox.automations.deleteConfirm.title":"გსურთ {name}-ის წაშლა?","inbox.automations.deleteError":"ავტომატიზაციის წაშლა ვერ მოხერხდა","inbox.automations.editTooltip":"ავტომატიზაციის რედაქტირება","inbox.automations.inProgress":"მუშავდება","inbox.automations.new":"ახალი","inbox.automations.newToolbar":"ახალი ავტომატიზაცია","inbox.automations.pauseTooltip":"ავტომატიზაციის შეჩერება","inbox.automations.resumeTooltip":"ავტომატიზაციის გაგრძელება","inbox.automations.startingNow":"ახლა იწყება","inbox.automations.startsIn":"დაიწყება: {startTime}","inbox.automations.status.active":"აქტიური","inbox.automations.status.paused":"შეჩერებული","inbox.automations.status.runs":"{count} გაშვება","inbox.automations.status.started":"დაწყების დრო: {date}","inbox.automations.updateError":"ავტომატიზაციის განახლება ვერ მოხერხდა","inbox.automations.workspaceFallback":"-","inbox.filter.all":"ყველა","inbox.filter.ariaLabel":"შემოსულების ერთეულების გაფილტვრა","inbox.filter.unread":"წაუკითხავი","inbox.list.archived":"დაარქივებული","inbox.list.inProgress":"მუშავდება","inbox.list.recent":"დასრულებული","inbox.list.upNext":"დაგეგმილი","inbox.mode.automations":"ავტომატიზაციები","inbox.mode.automations.beta":"ბეტა","inbox.noDescription":"აღწერილობა არ არის წარმოდგენილი","inbox.openThread":"ნაკადის გახსნა","inbox.rightPanel.emptySubtitle":"სამუშაოს ავტომატიზაცია დაგეგმილი ამოცანების დაყენებით","inbox.rightPanel.emptySubtitle.learnMore":"სამუშაოს ავტომატიზაცია დაგეგმილი ნაკადების დაყენებით. <link>ვრცლად</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# აქტიური ავტომატიზაცია} other {# აქტიური ავტომატიზაცია}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"წაუკითხავი ავტომატიზაციების გარეშე","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# წაუკითხავი ავტომატიზაცია} other {# წაუკითხავი ავტომატიზაცია}}","inbox.rightPanel.emptyTitle":"ერთეული არჩეული არ არის","inbox.rightPanel.noThread":"ამ ერთეულისთვის ნაკადი არ არის","inbox.rightPanel.quickStart.header":"შაბლონით დაწყება","inbox.untitled":"შემოსულების უსათაურო ერთეული","loadingPage.documentationLink":"დოკუმენტაცია","loadingPage.errorDescription":"Codex ავარიულად გაითიშა შემდეგი შეცდომით:","loadingPage.errorDescription.documentation":"დააწკაპუნეთ ხელახლა ჩატვირთვაზე Codex-ის გაფართოების გადასატვირთად ან ეწვიეთ ჩვენს {documentationLink}-ს დამატებითი დახმარებისთვის.","loadingPage.errorSignal":"რისი ცდა შეგიძლიათ:","loadingPage.errorTitle":"დაფიქსირდა შეცდომა","loadingPage.openConfigToml":"Config.toml-ის გახსნა","loadingPage.reload":"ხელახლა ჩატვირთვა","localConversation.contextCompacted":"კონტექსტი ავტომატურად შეკუმშდა","localConversation.contextCompacting":"კონტექსტის ავტომატური შეკუმშვა","localConversation.forkedFromConversation":"განშტოებულია {threadTitle}-დან","localConversation.merge.autoResolve.failed":"ავტომატური გადაჭრის მოთხოვნა წარუმატებელია: {error}","localConversation.merge.autoResolve.sent":"ავტომატური გადაჭრის მოთხოვნა გაგზავნილია","localConversation.merge.autoResolveMerge.missingConversation":"ავტომატური გადაჭრა შეუძლებელია აქტიური საუბრის გარეშე.","localConversation.merge.autoResolveMerge.request":"გაერთიანების წინააღმდეგობების ავტომატური გადაჭრა","localConversation.modelChanged":"მოდელი შეიცვალა {fromModel}-დან {toModel}-ზე.","localConversation.modelChanged.warning.line1":"მოდელების საუბრის მიმდინარეობისას შეცვლა მწარმოებლურობას შეამცირებს.","localConversation.modelChanged.warning.line2":"კონტექსტი შესაძლოა ავტომატურად შეიკუმშოს","localConversation.moveThread.createBranch.label":"განშტოების შექმნა","localConversation.moveToLocal.disabled.loading":"იტვირთება...","localConversation.moveToLocal.modal.continue":"გაგრძელება","localConversation.moveToLocal.modal.destinationLabel":"შემდეგში გადატანა:","localConversation.moveToLocal.modal.retry":"ხელახლა ცდა","localConversation.moveToWorktree.modal.back":"უკან","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"განშტოება უკვე არსებობს.","localConversation.moveToWorktree.modal.branchesError":"განშტოებების ჩატვირთვა ვერ მოხერხდა","localConversation.moveToWorktree.modal.branchesLoading":"განშტოებები იტვირთება…","localConversation.moveToWorktree.modal.branchesRetry":"ხელახლა ცდა","localConversation.moveToWorktree.modal.continue":"გაგრძელება","localConversation.moveToWorktree.modal.retry":"ხელახლა ცდა","localConversation.moveToWorktree.modal.trailingSlashError":"განშტოების სახელი არ შეიძლება მთავრდებოდეს შემდეგით: „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ახალი-განშტოება","localConversation.personalityChanged":"გადაერთო {personality} პიროვნულობაზე","localConversation.planSummary.collapse":"გეგმის შეჯამების ჩაკეცვა","localConversation.planSummary.collapseTooltip":"ჩაკეცვა","localConversation.planSummary.download":"გეგმის ჩამოტვირთვა","localConversation.planSummary.expand":"გეგმის შეჯამების გაშლა","localConversation.planSummary.expandTooltip":"გაშლა","localConversation.planSummary.openInNewWindow":"გახსნა","localConversation.planSummary.openInNewWindow.tooltip":"ახალ ფანჯარაში გახსნა","localConversation.planSummary.title":"გეგმა","localConversation.planSummary.titleWriting":"წერის გეგმა","localConversation.planSummary.viewPlan":"გეგმის გაშლა","localConversation.remoteTaskCreated":"შეიქმნა {taskLink} Codex Cloud-ში","localConversation.remoteTaskCreated.task":"ამოცანა","localConversation.scrollToBottomButton":"ქვედა ნაწილში გადაადგილება","localConversation.sync.buttonLabel":"ადგილობრივზე გადაცემა","localConversation.sync.buttonLabel.tooltip":"ცვლილებების გადაცემა ამ სამუშაო დირექტორიასა და თქვენს ლოკალურ სისტემიდან გასვლას შორის.","localConversation.sync.modal.loading.title":"მიმდინარეობს ცვლილებების გადაცემა…","localConversation.sync.modal.noChanges":"ცვლილებების გარეშე","localConversation.syncSetup.branchAriaLabel":"განშტოების სახელი","localConversation.syncSetup.branchName":"განშტოების სახელი","localConversation.syncSetup.branchPlaceholder.existing":"არსებული განშტოების არჩევა","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"განშტოებები იტვირთება…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"უკვე შემოწმებულია","localConversation.syncSetup.checkoutClean":"ამჟამად {branchName}-ზე","localConversation.syncSetup.checkoutDirty":"ამჟამად {branchName}-ზე დაუფიქსირებელი ცვლილებებით","localConversation.syncSetup.checkoutError":"განშტოების შემოწმება წარუმატებელია: {message}","localConversation.syncSetup.checkoutLabel":"ადგილობრივად ახლა შემოწმება","localConversation.syncSetup.checkoutOnLocal":"ადგილობრივზე გადაცემა","localConversation.syncSetup.checkoutPending":"ადგილობრივი სტატუსი მოწმდება…","localConversation.syncSetup.checkoutUnavailable":"ადგილობრივი სამუშაო სივრცე არ არის ხელმისაწვდომი","localConversation.syncSetup.checkoutUnknown":"ადგილობრივი განშტოება მიუწვდომელია","localConversation.syncSetup.continue":"გაგრძელება","localConversation.syncSetup.createBranchError":"გადაცემის განშტოების დაყენება წარუმატებელია: {message}","localConversation.syncSetup.error":"შეფერხებაა: {message}","localConversation.syncSetup.error.workingTreeMissing":"სამუშაო დირექტორიის მდგომარეობის აღბეჭდვა ვერ ხერხდება. ცადეთ ხელახლა გადაცემა.","localConversation.syncSetup.mode.ariaLabel":"განშტოების რეჟიმის არჩევა","localConversation.syncSetup.mode.existing":"არსებული განშტოება","localConversation.syncSetup.mode.new":"ახალი განშტოება","localConversation.syncSetup.noBranches":"განშტოებები არ არის ნაპოვნი","localConversation.syncSetup.overwriteError":"განშტოება შექმნილია, მაგრამ სრულად არ არის გადაცემული. გადაეცით ხელით ადგილობრივად შემოწმებამდე.","localConversation.syncSetup.setPrefix":"პრეფიქსის დაყენება","localConversation.syncSetup.subtitle":"სამუშაო დირექტორიის ცვლილებების ადგილობრივად შემოწმება და რედაქტირება. <a>ვრცლად</a>","localConversation.syncSetup.success.checkedOut":"განშტოება შეიქმნა და ადგილობრივად შემოწმდა","localConversation.syncSetup.success.notCheckedOut":"განშტოება შექმნილია","localConversation.syncSetup.title":"ადგილობრივ განშტოებაზე გადაცემა","localConversation.syncWorktreeError.branchAriaLabel":"განშტოების სახელი","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"აირჩიეთ გადასაცემი განშტოება, შემდეკი კი ცვლილებების ხელახლა ჩატვირთვა ცადეთ.","localConversation.syncWorktreeError.branchSetup.title":"განშტოების განახლება","localConversation.syncWorktreeError.branchUpdate.cta":"განახლება და ხელახლა ცდა","localConversation.syncWorktreeError.branchUpdate.error":"განშტოების განახლება წარუმატებელია: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"შეფერხებაა: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"განშტოება არ არის შემოწმებული არცერთ სამუშაო დირექტორიაში.","localConversation.syncWorktreeV2.applyUncommitted":"ცვლილებების შეტანა","localConversation.syncWorktreeV2.applyUncommitted.disabled":"განშტოება ადგილობრივად უნდა შეამოწმოთ დაუფიქსირებელი ცვლილებების მისადაგებისთვის","localConversation.syncWorktreeV2.branches.empty":"განშტოებები არ არის ნაპოვნი","localConversation.syncWorktreeV2.branches.loading":"განშტოებები იტვირთება…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"გადაცემის განშტოების შეცვლა","localConversation.syncWorktreeV2.changeBranch.error":"გადაცემის განშტოების შეცვლა წარუმატებელია: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"მისადაგება წარუმატებელია","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"სამუშაო დირექტორიის გადაწერა წარუმატებელია","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ადგილობრივის გადაწერა წარუმატებელია","localConversation.syncWorktreeV2.commandError.back":"უკან","localConversation.syncWorktreeV2.commandError.body":"Git ბრძანება გადაცემისას შეცდომით დასრულდა. მიმოიხილეთ გამოტანა და ცადეთ ხელახლა.","localConversation.syncWorktreeV2.commandError.retry":"ხელახლა ცდა","localConversation.syncWorktreeV2.description":"ცვლილებების გადაცემა ადგილობრივსა და ამ სამუშაო დირექტორიას შორის <a>ვრცლად</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"გადაცემის მიმართულების არჩევა","localConversation.syncWorktreeV2.error.generic":"გადაცემისას მოხდა შეცდომა. ცადეთ ხელახლა.","localConversation.syncWorktreeV2.localBranchLabel":"ადგილობრივი","localConversation.syncWorktreeV2.noChanges":"მიმდინარეობს ცვლილებების გამოთვლა","localConversation.syncWorktreeV2.noChanges.summary":"ცვლილებების გარეშე","localConversation.syncWorktreeV2.overwrite.local":"ადგილობრივის გადაწერა","localConversation.syncWorktreeV2.overwrite.worktree":"სამუშაო დირექტორიის გადაწერა","localConversation.syncWorktreeV2.partial.action.applyFailed":"ცვლილებების შეტანა ვერ მოხერხდა","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ადგილობრივი ცვლილებების გადაწერა ვერ მოხერხდა","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"სამუშაო დირექტორიის ცვლილებების გადაწერა ვერ მოხერხდა","localConversation.syncWorktreeV2.partial.appliedLabel":"შეტანილი","localConversation.syncWorktreeV2.partial.back":"უკან","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"გადაჭერით წინააღმდეგობები და ცადეთ ხელახლა.","localConversation.syncWorktreeV2.partial.conflictsLabel":"წინააღმდეგობები","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ფაილი} other {# ფაილი}}","localConversation.syncWorktreeV2.partial.retry":"ხელახლა ცდა","localConversation.syncWorktreeV2.partial.skippedLabel":"გამოტოვებული","localConversation.syncWorktreeV2.stateFailed.generic":"სამუშაო დირექტორიის გადასაცემი ცვლილებების მიღებისას მოხდა შეცდომა. ცადეთ ხელახლა.","localConversation.syncWorktreeV2.stateFailed.title":"სამუშაო დირექტორიების ცვლილებების ჩატვირთვა წარუმატებელია","localConversation.syncWorktreeV2.statusError.diffUnknown":"სამუშაო დირექტორიების ცვლილებების ჩატვირთვა წარუმატებელია.","localConversation.syncWorktreeV2.statusError.retry":"ხელახლა ცდა","localConversation.syncWorktreeV2.statusError.title":"ადგილობრივი განშტოების ცვლილებების ჩატვირთვა ვერ ხერხდება","localConversation.syncWorktreeV2.statusError.unknown":"განშტოების სტატუსი ამჟამად მიუწვდომელია. ცადეთ ხელახლა.","localConversation.syncWorktreeV2.success.apply":"ცვლილებები წარმატებითაა შეტანილი","localConversation.syncWorktreeV2.success.overwrite":"გადაცემა წარმატებულია","localConversation.syncWorktreeV2.title":"ცვლილებების გადაცემა","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"ეკითხება {count, plural, one {შეკითხვას} other {შეკითხვებს}}","localConversation.userInputRequest.noAnswer":"წარმოდგენილი პასუხის გარეშე","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"იკითხა","localConversation.userInputRequest.summary.count":"{count, plural, one {# შეკითხვა} other {# შეკითხვა}}","localConversation.workedFor":"იმუშავა {time}","localConversation.worktreeBranchSetup.action.create":"შექმნა","localConversation.worktreeBranchSetup.branchAriaLabel":"განშტოების სახელი","localConversation.worktreeBranchSetup.branchPlaceholder.new":"ახალი განშტოების შექმნა","localConversation.worktreeBranchSetup.checkoutDisabled":"ეს განშტოება უკვე შემოწმებულია {location}-ზე","localConversation.worktreeBranchSetup.checkoutError":"განშტოების შემოწმება წარუმატებელია: {message}","localConversation.worktreeBranchSetup.createBranchError":"განშტოების დაყენება წარუმატებელია: {message}","localConversation.worktreeBranchSetup.error":"შეფერხებაა: {message}","localConversation.worktreeBranchSetup.subtitle":"შექმენით განშტოება ცვლილებების დაფიქსირებისთვის, გადაცემისთვის და PR-ის შესაქმნელად ამ სამუშაო დირექტორიიდან. <a>ვრცლად</a>","localConversation.worktreeBranchSetup.title":"იმუშავეთ აქ","localConversationPage.addWorktreeToSidebar.tooltip":"შეინახეთ, როგორც პროექტი, რათა ახალი ნაკადები ამ სამუშაო დირექტორიიდან დაიწყოთ","localConversationPage.addWorktreeToSidebarError":"პროექტის დამატება წარუმატებელია","localConversationPage.commitAndCreatePrModal.errorTitle":"დაფიქსირება და PR-ის შექმნა წარუმატებელია","localConversationPage.commitAndCreatePrModal.successTitle":"დაფიქსირდა და PR შეიქმნა","localConversationPage.commitAndPushModal.errorTitle":"დაფიქსირება და გადაცემა წარუმატებელია","localConversationPage.commitAndPushModal.successTitle":"ცვლილებები დაფიქსირდა და გადაიცა","localConversationPage.commitCreatePr.open":"შეტანის მოთხოვნის გახსნა","localConversationPage.commitCreatePr.successTitle":"PR შეიქმნა თქვენი უახლესი ცვლილებებით","localConversationPage.createBranchButtonLabel":"აქ განშტოება","localConversationPage.createPrModal.baseBranch":"საბაზისო","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR-ის შექმნა","localConversationPage.createPrModal.createDescription":"გახსენით შეტანის მოთხოვნა თქვენი უახლესი ცვლილებებისთვის.","localConversationPage.createPrModal.errorTitle":"შეტანის მოთხოვნა წარუმატებელია","localConversationPage.createPrModal.headBranch":"ზედა რიგი","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR-ის გახსნა","localConversationPage.createPrModal.successTitle":"შეტანის მოთხოვნა შექმნილია","localConversationPage.createPrModal.title":"შეტანის მოთხოვნის შექმნა","localConversationPage.createPrModal.viewDescription":"შეტანის მოთხოვნა უკვე არსებობს ამ განშტოებისთვის.","localConversationPage.createPrModal.viewTitle":"შეტანის მოთხოვნა მზადაა","localConversationPage.createPullRequestAuthGh":"GitHub CLI-ს ავთენტიფიკაცია: გაუშვით „gh auth login“","localConversationPage.createPullRequestBranchMissing":"განშტოების ინფორმაცია მიუწვდომელია","localConversationPage.createPullRequestButtonLabel":"PR-ის შექმნა","localConversationPage.createPullRequestButtonLabel.loading":"იქმნება PR…","localConversationPage.createPullRequestDefaultBranchMissing":"ნაგულისხმევი განშტოების ინფორმაცია მიუწვდომელია","localConversationPage.createPullRequestError":"შეტანის მოთხოვნის შექმნა ვერ მოხერხდა","localConversationPage.createPullRequestExistingPullRequest":"შეტანის მოთხოვნა უკვე არსებობს ამ განშტოებაში","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI სტატუსი იტვირთება…","localConversationPage.createPullRequestInstallGh":"დააინსტალირეთ GitHub CLI (gh) PR-ების შესაქმნელად","localConversationPage.createPullRequestNoRepo":"Git რეპოზიტორიუმები არ არის ნაპოვნი","localConversationPage.createPullRequestPushStatusMissing":"გადაცემის სტატუსი იტვირთება…","localConversationPage.createPullRequestSetUpstream":"გაგზავნეთ ეს განშტოება PR-ის შექმნამდე","localConversationPage.createPullRequestSuccessToast":"შეტანის მოთხოვნა შექმნილია","localConversationPage.createPullRequestSwitchBranch":"შეამოწმეთ ფუნქციის განშტოება PR-ის შექმნამდე","localConversationPage.error.render":"შეცდომა ადგილობრივი საუბრის რენდერისას","localConversationPage.error.toast":"საუბარი არ იძებნება","localConversationPage.forcePushError":"იძულებით გადაცემა წარუმატებელია","localConversationPage.generatePullRequestMessageError":"შეტანის მოთხოვნის სათაურისა და ძირითადი ტექსტის გენერირება ვერ მოხერხდა","localConversationPage.generatePullRequestMessageFailed":"შეტანის მოთხოვნის სათაურისა და ძირითადი ტექსტის გენერირება ვერ მოხერხდა.","localConversationPage.gitActionResult.branch":"განშტოება","localConversationPage.gitActionResult.cancel":"გაუქმება","localConversationPage.gitActionResult.close":"დახურვა","localConversationPage.gitActionResult.tryAgain":"ხელახლა ცდა","localConversationPage.gitActions":"Git მოქმედებები","localConversationPage.newChat":"ახალი ჩეთი","localConversationPage.openInTarget":"გაიხსნას აქ:","localConversationPage.openPrimaryTarget":"გახსნა","localConversationPage.planItemsCompleted":"{completedItems} {totalItems, plural, one {# ამოცანა შესრულდა} other {# ამოცანები შესრულდა}}-დან","localConversationPage.pushAuthError":"გადაცემა წარუმატებელია: სავალდებულოა ავთენტიფიკაცია","localConversationPage.pushBranchMissing":"განშტოების ინფორმაცია მიუწვდომელია","localConversationPage.pushButtonLabel":"გაგზავნა","localConversationPage.pushButtonLabel.loading":"მიმდინარეობს გადაცემა…","localConversationPage.pushError":"ცვლილებების გადაცემა ვერ მოხერხდა","localConversationPage.pushModal.branchLabel":"განშტოება","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"გაუქმება","localConversationPage.pushModal.confirm":"გადაცემა","localConversationPage.pushModal.description":"გადაეცით თქვენი უახლესი დაფიქსირებები დისტანციურ რეპოზიტორიუმს.","localConversationPage.pushModal.errorTitle":"გადაცემა წარუმატებელია","localConversationPage.pushModal.forcePush":"იძულებით გადაცემა","localConversationPage.pushModal.successTitle":"გადაცემა დასრულებულია","localConversationPage.pushModal.title":"ცვლილებების გადაცემა","localConversationPage.pushModal.tryAgain":"ხელახლა ცდა","localConversationPage.pushNoUpstream":"დააყენეთ საწყისი კოდი ამ განშტოების ჩართვამდე","localConversationPage.pushNoUpstreamError":"გადაცემა წარუმატებელია: არცერთი მონაცემის ნაკადი ცენტრალური კვანძისკენ არ არის კონფიგურირებული","localConversationPage.pushNothingToPush":"ახალი გასაგზავნი დაფიქსირებების გარეშე","localConversationPage.pushRemoteChangedError":"გადაცემა წარუმატებელია: დისტანციურ სერვერზე ახალი დაფიქსირებებია","localConversationPage.pushRemoteRejectedError":"გადაცემა უარყოფილია დისტანციური სერვერის მიერ","localConversationPage.pushStatusMissing":"გადაცემის სტატუსი იტვირთება…","localConversationPage.pushSuccessToast":"ცვლილებები გადაცემულია","localConversationPage.viewPullRequestButtonLabel":"PR-ის ნახვა","localConversationPage.viewPullRequestButtonLabel.loading":"მიმდინარეობს შეტანის მოთხოვნის ჩატვირთვა…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ფაილი} other {# ფაილი}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# სია} other {# სიები}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# ძიება} other {# ძიება}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"მიმდინარეობს გამოკვლევა","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"გამოკვლეულია","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} გამოკვლეულია","localConversationTurnStory.showContent":"კონტენტის ჩვენება","localConversationTurnStory.streamContent":"კონტენტის სტრიმინგი","localConversationTurnStory.toggleReasoning":"არგუმენტაციის ჩვენება","localTaskRow.archiveError":"საუბრის დაარქივება ვერ მოხერხდა","localTaskRow.resumeError":"ამოცანის განახლება ვერ მოხერხდა","mermaidDiagram.ariaLabel":"ქალთევზას დიაგრამა","mermaidDiagram.copySource":"ქალთევზას კოპირება","mermaidDiagram.originalCode":"ქალთევზას წყაროს კოდი","notifications.permissions.description":"გაფრთხილებების ჩვენება, როდესაც შეტყობინებების ნებართვები სავალდებულოა","notifications.permissions.label":"ნებართვის შეტყობინებების გააქტიურება","notifications.turnMode.always":"ყოველთვის","notifications.turnMode.description":"დააყენეთ, როდის შეგატყობინოთ Codex-მა, როცა დაასრულებს","notifications.turnMode.label":"დასრულების შეტყობინებების ჩართვა","notifications.turnMode.off":"არასდროს","notifications.turnMode.unfocused":"მხოლოდ მაშინ, როცა არაფოკუსირებულია","patchApprovalRequest.approve":"დამტკიცება","patchApprovalRequest.menu.allowAlways":"დიახ, და მეტი აღარ მკითხო ამ სესიაზე","patchApprovalRequest.menu.allowForSession":"დიახ, და მეტი აღარ მკითხო ამ სესიაზე","patchApprovalRequest.menu.allowOnce":"დიახ","patchApprovalRequest.prompt":"გსურთ ამ ცვლილებების შეტანა?","patchApprovalRequest.reject":"არა","patchApprovalRequest.waitingForApproval":"ფაილების რედაქტირებისთვის დამტკიცების მოლოდინში","pendingRequest.approvalExec.collapse":"ჩაკეცვა","pendingRequest.approvalExec.expand":"გაშლა","pendingRequestStory.toastAnswer":"პასუხი: {answer}","pendingRequestStory.toastApprovalTitle":"დადასტურების პასუხი","pendingRequestStory.toastFollowupPrompt":"მოთხოვნა: {prompt}","pendingRequestStory.toastFollowupTitle":"შემდეგი ნაბიჯები გამოიგზავნა","pendingRequestStory.toastNoAnswers":"წარმოდგენილი პასუხების გარეშე","pendingRequestStory.toastQuestion":"შეკითხვა: {question}","pendingRequestStory.toastUnknownDecision":"უცნობი","pendingRequestStory.toastUserInputTitle":"წარდგენილი პასუხები","quickAction.request.codeReview.branches.new":"მიმოიხილე ცვლილებები {from}-ზე {to}-თან მიმართებით","quickAction.request.codeReview.uncommitted.new":"მიმოიხილე ჩემი დაუფიქსირებელი ცვლილებები","reasoningItem.thinking":"ფიქრობს","reasoningItem.thought":"იფიქრა","reasoningItem.thoughtWithElapsed":"იფიქრა {elapsed} წამი","recentConversations.title":"უახლესი საუბრები","recentTasks.worktreeInitFailedTitle":"Worktree-ს ინიციალიზაცია წარუმატებელია","recentTasks.worktreeSettingUpTitle":"მიმდინარეობს worktree-ს დაყენება","requestInputPanel.continue":"გაგრძელება","requestInputPanel.dismiss":"დახურვა","requestInputPanel.escapeKey":"გამოსვლა (ESC)","requestInputPanel.freeFormPlaceholder":"აკრიფეთ აქ","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"არა და უთხარით Codex-ს, რა გაკეთდეს სხვანაირად","requestInputPanel.selectedBadge":"არჩეული","requestInputPanel.skip":"გამოტოვება","requestInputPanel.submit":"წარდგენა","review.commit.ariaLabel.includeUnstaged":"არაინდექსირებულის გამოყენება","review.commit.buttonLabel":"კომიტი","review.commit.disabled.committing":"მიმდინარეობს დაფიქსირება…","review.commit.disabled.loadingDiff":"სხვაობები იტვირთება…","review.commit.disabled.missingContext":"დაამატეთ კონტექსტი დაფიქსირების შეტყობინების გენერირებისთვის","review.commit.disabled.noChanges":"დასაფიქსირებელი ცვლილებების გარეშე","review.commit.disabled.noSelection":"დასაფიქსირებელი ცვლილებების მონიშვნა","review.commit.disabled.unavailable":"დაფიქსირება ამჟამად მიუწვდომელია","review.commit.error":"ცვლილებების დაფიქსირება წარუმატებელია","review.commit.form.changesToBeCommitted":"ცვლილებები","review.commit.form.commitTo":"განშტოება","review.commit.form.commitTo.none":"-","review.commit.form.continue":"გაგრძელება","review.commit.form.title":"თქვენი ცვლილებების დაფიქსირება","review.commit.generate.emptyResponse":"დაფიქსირების შეტყობინების გენერირება ვერ მოხერხდა.","review.commit.generate.failed":"დაფიქსირების შეტყობინების გენერირება წარუმატებელია: {error}","review.commit.generate.missingPrompt":"დაამატეთ კონტექსტი დაფიქსირების შეტყობინების გენერირებისთვის.","review.commit.includeUnstaged":"არაინდექსირებულის გამოყენება","review.commit.loading.description":"დაიცადეთ, ამას შესაძლოა რამდენიმე წუთი დასჭირდეს…","review.commit.loading.step.commit.done":"დაფიქსირებული ცვლილებები","review.commit.loading.step.commit.pending":"მიმდინარეობს ცვლილებების დაფიქსირება","review.commit.loading.step.createPr.done":"შეტანის მოთხოვნა შექმნილია","review.commit.loading.step.createPr.pending":"მიმდინარეობს შეტანის მოთხოვნის შექმნა","review.commit.loading.step.push.done":"გადაცემულია განშტოებაზე {branch}","review.commit.loading.step.push.pending":"გადაიცემა განშტოებაზე {branch}","review.commit.loading.title.commit":"მიმდინარეობს ცვლილებების დაფიქსირება","review.commit.loading.title.createPr":"იქმნება PR","review.commit.loading.title.push":"გადაიცემა ცვლილებები","review.commit.messageLabel":"დაფიქსირების შეტყობინება","review.commit.messagePlaceholder":"დატოვეთ ცარიელი დაფიქსირების შეტყობინების ავტომატური გენერირებისთვის","review.commit.nextSteps":"შემდეგი ნაბიჯები","review.commit.nextSteps.commit":"კომიტი","review.commit.nextSteps.commitAndCreate":"დაფიქსირება და PR-ის შექმნა","review.commit.nextSteps.commitAndPush":"დაფიქსირება და გადაცემა","review.commit.nextSteps.prRequiresGh":"საჭიროებს GitHub CLI-ს: {command}","review.commit.rows.changes":"ცვლილებები","review.commit.rows.commitCount":"{count, plural, one {# დაფიქსირება} other {# დაფიქსირება}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# დაფიქსირება} other {# დაფიქსირება}} და {stats}","review.commit.rows.fileCount":"{count, plural, one {# ფაილი} other {# ფაილი}}","review.commit.state.error.body":"დაფიქსირებისას მოხდა შეცდომა. შეამოწმეთ თქვენი git სტატუსი და ცადეთ ხელახლა.","review.commit.state.error.title":"დაფიქსირება წარუმატებელია","review.commit.state.success.title":"ცვლილებები დაფიქსირეულია","review.commit.untracked.loadingStats":"იტვირთება სხვაობის მიუდევნებელი სტატისტიკა…","reviewFindingAttachments.count":"{count, plural, one {# შედეგი} other {# შედეგი}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"დაარედაქტირეთ თქვენი კონფიგურაცია აგენტის ქცევის მორგებისთვის","settings.agent.configuration.configToml.docs":"დოკუმენტები","settings.agent.configuration.configToml.restartNote":"გადატვირთეთ Codex რედაქტირების შემდეგ ცვლილებების შესატანად","settings.agent.configuration.subtitle":"ეს პარამეტრები მოქმედებს ყველგან, სადაც Codex გამოიყენება","settings.automations.banner.danger":"ავტომატიზაციები გაშვებულია თქვენი ნაგულისხმევი ოპერაციული გარემოს აბსტრაქციის პარამეტრებით, რომლებიც ამჟამად სრულ წვდომაზეა დაყენებული. ფონური ავტომატიზაციების გაშვება სრული წვდომით გაზრდილ რისკთანაა დაკავშირებული, რადგანაც Codex-მა შესაძლოა შეკითხვის გარეშე შეცვალოს ფაილები, გაუშვას ბრძანებები და მიიღოს წვდომა ქსელზე. განიხილეთ ოპერაციული გარემოს აბსტრაქციის პარამეტრების განახლება სამუშაო სივრცეში დაწერის რეჟიმზე და <rulesDocsLink>წესების</rulesDocsLink> გამოყენება იმის შერჩევითად განსაზღვრისთვის, თუ რომელი ბრძანებების გაშვება შეძლოს აგენტმა სრული წვდომით.","settings.automations.banner.defaultHowTo.default":"ავტომატიზაციები გაშვებულია თქვენი ნაგულისხმევი ოპერაციული გარემოს აბსტრაქციის პარამეტრებით. ხელსაწყოს გამოძახებები შეცდომით დასრულდება, თუ მათი მუშაობისთვის საჭირო იქნება ფაილების შეცვლა სამუშაო სივრცის გარეთ, ქსელზე წვდომა ან თქვენს კომპიუტერზე აპებთან მუშაობა. თქვენ შერჩევითად შეგიძლიათ დაუშვათ ბრძანებების გაშვება ოპერაციული გარემოს აბსტრაქციის გარეთ <rulesDocsLink>წესების</rulesDocsLink> გამოყენებით.","settings.automations.banner.defaultHowTo.readOnly":"ავტომატიზაციები გაშვებულია თქვენი ნაგულისხმევი ოპერაციული გარემოს აბსტრაქციის პარამეტრებით, რომლებიც დაყენებულია მხოლოდ წაკითხვისთვის რეჟიმზე. ხელსაწყოს გამოძახებები შეცდომით დასრულდება, თუ მათი მუშაობისთვის საჭირო იქნება ფაილების შეცვლა, ქსელზე წვდომა ან თქვენს კომპიუტერზე აპებთან მუშაობა. განიხილეთ ოპერაციული გარემოს აბსტრაქციის პარამეტრების განახლება სამუშაო სივრცეში დაწერის რეჟიმზე.","settings.automations.cancel":"გაუქმება","settings.automations.create":"შექმნა","settings.automations.cwdEmpty":"პროექტის საქაღალდეები არ არის ხელმისაწვდომი","settings.automations.cwdLabel":"პროექტები","settings.automations.cwdPlaceholder":"საქაღალდის არჩევა","settings.automations.cwdSubtitle":"თუ ავტომატიზაციის გაშვება კონკრეტულ განშტოებაზე გსურთ, ამის დაკონკრეტება თქვენს მოთხოვნაში შეგიძლიათ.","settings.automations.delete":"წაშლა","settings.automations.dialog.editTitle":"ავტომატიზაციის რედაქტირება","settings.automations.dialog.newTitle":"ახალი ავტომატიზაცია","settings.automations.dialog.subtitle":"მოახდინეთ განმეორებადი ამოცანების ავტომატიზაცია ფონურად. Codex შედეგებს შემოსულებში ამატებს ან ავტომატურად აარქივებს ამოცანას, თუ არაფერია მოსახსენებელი. <learnMoreLink>ვრცლად</learnMoreLink>","settings.automations.dialog.title":"ავტომატიზაციის შექმნა","settings.automations.executionCopy.git":"ავტომატიზაციები ფონურადაა გაშვებული გამოყოფილ სამუშაო დირექტორიებზე.","settings.automations.executionCopy.nonGit":"პროექტებში, სადაც არ გამოიყენება ვერსიების კონტროლი, ავტომატიზაციები გაშვებულია პირდაპირ პროექტის დირექტორიაში. განიხილეთ Git-ის გამოყენება ფონურ სამუშაო დირექტორიებზე გაშვების ჩასართავად.","settings.automations.executionEnvironment.local":"ადგილობრივი","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"იტვირთება...","settings.automations.nameLabel":"სახელი","settings.automations.namePlaceholder":"საგუშაგო პრობლემების შემოწმება","settings.automations.pause":"შეჩერება","settings.automations.promptLabel":"მოთხოვნა","settings.automations.promptPlaceholder":"მუშაობის ავარიული დასრულებების ძიება $Sentry-ში","settings.automations.resume":"გაგრძელება","settings.automations.rruleSummaryFallback":"მორგებული განრიგი","settings.automations.runNow":"შემოწმება","settings.automations.save":"შენახვა","settings.automations.scheduleBadge.dayCount":"{count}დ","settings.automations.scheduleBadge.interval":"{count}სთ","settings.automations.scheduleBadge.weekdays":"კვირის დღეები","settings.automations.scheduleBadge.weekends":"შაბათ-კვირა","settings.automations.scheduleHeader":"განრიგი","settings.automations.scheduleHours":"საათები","settings.automations.scheduleLabel":"გაეშვას ყოველ","settings.automations.scheduleMode.daily":"ყოველდღიურად","settings.automations.scheduleMode.interval":"ინტერვალი","settings.automations.scheduleModeLabel":"განრიგის ტიპი","settings.automations.scheduleSummary.daily":"ყოველდღიურად, {time}","settings.automations.scheduleSummary.interval":"ყოველ {count}სთ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# დღეში} other {# დღეში}}","settings.automations.scheduleSummary.intervalDays":"{interval}, {days}","settings.automations.scheduleSummary.intervalHourly":"საათობრივად","settings.automations.scheduleSummary.singleDay":"{day}, {time} საათზე","settings.automations.scheduleSummary.weekdays":"კვირის დღეები, {time}","settings.automations.scheduleSummary.weekdaysLabel":"კვირის დღეები","settings.automations.scheduleSummary.weekends":"შაბათ-კვირა, {time}","settings.automations.scheduleSummary.weekendsLabel":"შაბათ-კვირა","settings.automations.scheduleSummary.weekly":"{days}, {time} საათზე","settings.automations.scheduleWeekdays":"ჩართული","settings.automations.weekdayState.excluded":"გამორიცხული","settings.automations.weekdayState.included":"შეტანილი","settings.conversationDetail.steps":"ნაბიჯები","settings.conversationDetail.steps.description":"ბრძანებებისა და გამომავალი მონაცემების დამალვა","settings.conversationDetail.stepsWithCommands":"ნაბიჯები კოდის ბრძანებებით","settings.conversationDetail.stepsWithCommands.description":"ბრძანებების ჩვენება, გამომავალი მონაცემების ჩაკეცვა","settings.conversationDetail.stepsWithOutput":"ნაბიჯები კოდის გამომავალი მონაცემებით","settings.conversationDetail.stepsWithOutput.description":"ბრძანებების ჩვენება და გამომავალი მონაცემების გაშლა","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"დაარქივებული ჩეთების გარეშე.","settings.dataControls.archivedChats.error":"დაარქივებული ჩეთები ვერ ჩაიტვირთა.","settings.dataControls.archivedChats.loading":"დაარქივებული ჩეთები იტვირთება…","settings.dataControls.archivedChats.unarchive":"დეარქივაცია","settings.dataControls.archivedChats.unarchiveError":"ჩეთის დეარქივაცია წარუმატებელია","settings.dataControls.archivedChats.unarchiveSuccess":"არქივიდან ამოღებული ნაკადი. <viewNowLink>ახლავე ნახვა</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"არქივიდან ამოღებული ნაკადი.","settings.dataControls.archivedChats.untitled":"უსათაურო ჩეთი","settings.dataControls.archivedChats.viewNow":"ახლავე ნახვა","settings.editRow.headerPlaceholder":"გასაღები","settings.editRow.removeEntry":"შენატანის ამოშლა","settings.editRow.valuePlaceholder":"ერთეული","settings.general.appearance":"გარეგნული მხარე","settings.general.appearance.codeFont":"კოდის შრიფტი","settings.general.appearance.codeFont.description":"კოდისთვის გამოყენებული შრიფტისა და ზომის კორექტირება ჩეთებსა და სხვაობებში","settings.general.appearance.codeFontFamily":"კოდის შრიფტის ოჯახი","settings.general.appearance.codeFontSize":"კოდის შრიფტის ზომა","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ფანჯრებისთვის ერთიანი ფონის გამოყენება სისტემური გამჭვირვალობის სანაცვლოდ","settings.general.appearance.opaqueWindows.label":"ფანჯრის გაუმჭვირი ფონის გამოყენება","settings.general.appearance.sansFontFamily":"Sans შრიფტის ოჯახი","settings.general.appearance.sansFontFamily.description":"Codex UI-სთვის გამოყენებული შრიფტის კორექტირება","settings.general.appearance.sansFontSize":"Sans შრიფტის ზომა","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"სადღესასწაულო ეფექტების ეკრანის სრულ ზომაზე ჩვენება GPT-5.3-Codex-Spark-ის პირველი შესრულებისას","settings.general.appearance.sparkCelebrationEffects.label":"Spark-ის სადღესასწაულო ეფექტები","settings.general.appearance.theme":"თემა","settings.general.appearance.theme.dark":"ბნელი","settings.general.appearance.theme.description":"ნათელის, ბნელის გამოყენება ან თქვენს სისტემაზე მორგება","settings.general.appearance.theme.light":"სინათლე","settings.general.appearance.theme.system":"სისტემა","settings.general.appearance.usePointerCursors.description":"შეცვალეთ კურსორი მიმთითებელზე არააქტიურ ელემენტებზე გადატარებისას","settings.general.appearance.usePointerCursors.label":"გამოიყენეთ მიმთითებელი კურსორები","settings.general.enterBehavior.description":"ჩართულ მდგომარეობაში მრავალხაზიანი მოთხოვნები საჭიროებს {modifierSymbol} + „Enter“-ს გასაგზავნად.","settings.general.enterBehavior.label":"საჭიროებს {modifierSymbol} + „Enter“-ს გრძელი მოთხოვნების გასაგზავნად","settings.general.experimentalFeatures":"ექსპერიმენტული ფუნქციები (ბეტა)","settings.general.experimentalFeatures.empty":"ბეტა ექსპერიმენტული ფუნქციები ხელმიუწვდომელია","settings.general.experimentalFeatures.loading":"იტვირთება ექსპერიმენტული ფუნქციები...","settings.general.experimentalFeatures.restartNote":"ხელახლა გაუშვით Codex, რომ ექსპერიმენტული ფუნქციები შეიცვალოს","settings.general.experimentalFeatures.toggle":"{featureName}-ის გადართვა","settings.general.followUpQueueMode.description":"ჩასვით რიგში შემდგომი ნაბიჯები, სანამ Codex უშვებს ან ხელმძღვანელობს მიმდინარე გაშვებით. დააჭირეთ {invertFollowUpShortcutLabel}-ს ერთი შეტყობინებისთვის საპირისპიროს გასაკეთებლად.","settings.general.followUpQueueMode.interrupt":"ხელმძღვანელობა","settings.general.followUpQueueMode.label":"შემდგომი ქცევა","settings.general.followUpQueueMode.queue":"რიგში ჩასმა","settings.general.notifications":"გაფრთხილებები","settings.general.power.preventSleepWhileRunning.description":"დატოვეთ თქვენი კომპიუტერი ჩართულ მდგომარეობაში, სანამ Codex ნაკადს უშვებს.","settings.general.power.preventSleepWhileRunning.label":"ძილის თავიდან არიდება გაშვების პროცესში","settings.git.branchPrefix.ariaLabel":"განშტოების პრეფიქსი","settings.git.branchPrefix.description":"პრეფიქსი გამოყენებულია Codex-ში ახალი განშტოებების შექმნისას","settings.git.branchPrefix.label":"განშტოების პრეფიქსი","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"განშტოების პრეფიქსის შენახვა წარუმატებელია","settings.git.branchPrefix.save.success":"განშტოების პრეფიქსი შენახულია","settings.git.commitInstructions.ariaLabel":"დაფიქსირების ინსტრუქციები","settings.git.commitInstructions.description":"დამატებულია დაფიქსირების შეტყობინების გენერირების მოთხოვნებში","settings.git.commitInstructions.label":"დაფიქსირების ინსტრუქციები","settings.git.commitInstructions.placeholder":"დაფიქსირების შეტყობინების მითითებების დამატება…","settings.git.commitInstructions.save":"შენახვა","settings.git.commitInstructions.save.error":"დაფიქსირების ინსტრუქციების შენახვა წარუმატებელია","settings.git.commitInstructions.save.success":"დაფიქსირების ინსტრუქციები შენახულია","settings.git.forcePush.ariaLabel":"ყოველთვის მოხდეს იძულებით გადაცემა","settings.git.forcePush.description":"იქნეს გამოყენებული --force-with-lease Codex-იდან გადაცემისას","settings.git.forcePush.label":"ყოველთვის მოხდეს იძულებით გადაცემა","settings.git.forcePush.save.disabled":"ყოველთვის იძულებით გადაცემა გათიშულია","settings.git.forcePush.save.enabled":"ყოველთვის იძულებით გადაცემა ჩართულია","settings.git.forcePush.save.error":"იძულებით გადაცემის პარამეტრის შენახვა წარუმატებელია","settings.git.prInstructions.ariaLabel":"შეტანის მოთხოვნის ინსტრუქციები","settings.git.prInstructions.description":"ერთვის Codex-ის მიერ შექმნილი შეტანის მოთხოვნის ტექსტებს","settings.git.prInstructions.label":"შეტანის მოთხოვნის ინსტრუქციები","settings.git.prInstructions.placeholder":"შეტანის მოთხოვნის მითითებების დამატება…","settings.git.prInstructions.save":"შენახვა","settings.git.prInstructions.save.error":"შეტანის მოთხოვნის ინსტრუქციების შენახვა წარუმატებელია","settings.git.prInstructions.save.success":"შეტანის მოთხოვნის ინსტრუქციები შენახულია","settings.ide.defaultOpenTarget.description":"სადაც ფაილები და საქაღალდეები ნაგულისხმევად იხსნება","settings.ide.defaultOpenTarget.label":"გახსნის ნაგულისხმევის მდებარეობა","settings.ide.defaultOpenTarget.placeholder":"სამიზნეები არ არის ნაპოვნი","settings.ide.language.auto":"ავტომატური ამოცნობა","settings.ide.language.autoOption":"ავტომატური ამოცნობა","settings.ide.language.description":"ენა აპის UI-ისთვის","settings.ide.language.label":"ენა","settings.ide.language.search":"ენების ძიება","settings.layout.actionButton":"გაფართოების ხელახლა დაწყება","settings.layout.actionTitle":"პარამეტრები მოქმედებით","settings.layout.fullWidthTitle":"პარამეტრები (სრული სიგანე)","settings.layout.title":"პარამეტრები","settings.localEnvironments.actions.add":"მოქმედების დამატება","settings.localEnvironments.actions.add.description":"შექმენით ახალი ბრძანება ხელსაწყოთა ზოლიდან გასაშვებად.","settings.localEnvironments.actions.add.save":"შენახვა","settings.localEnvironments.actions.empty":"დაამატეთ მოქმედება ბრძანებების გასაშვებად ადგილობრივი ხელსაწყოთა ზოლიდან.","settings.localEnvironments.actions.icon.debug":"დეფექტების აღმოჩენა და აღმოფხვრა","settings.localEnvironments.actions.icon.run":"გაშვება","settings.localEnvironments.actions.icon.test":"გამოცდა","settings.localEnvironments.actions.icon.tool":"ხელსაწყო","settings.localEnvironments.actions.item.button.delete":"წაშლა","settings.localEnvironments.actions.item.command":"მოქმედების სცენარი","settings.localEnvironments.actions.item.name":"სახელი","settings.localEnvironments.actions.item.platforms":"პლატფორმები","settings.localEnvironments.actions.item.platforms.help":"გაშვებულია მხოლოდ კონკრეტულ OS-ზე.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"პლატფორმის მონიშვნა","settings.localEnvironments.actions.item.platforms.specific":"პლატფორმისთვის სპეციფიკური","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"წაშლა","settings.localEnvironments.actions.title":"მოქმედებები","settings.localEnvironments.breadcrumb.back":"უკან","settings.localEnvironments.breadcrumb.edit":"ჩასწორება","settings.localEnvironments.breadcrumb.root":"გარემოები","settings.localEnvironments.environment.actions.description":"ამ მოქმედებებს ნებისმიერი ბრძანების გაშვება შეუძლია და ზედა კოლონტიტულში გამოჩნდება.","settings.localEnvironments.environment.actionsLabel":"მოქმედებები","settings.localEnvironments.environment.create":"ადგილობრივი გარემოს შექმნა","settings.localEnvironments.environment.defaultName":"ადგილობრივი","settings.localEnvironments.environment.edit":"ადგილობრივი გარემოს რედაქტირება","settings.localEnvironments.environment.empty":"ამ სამუშაო პროექტისთვის ჯერჯერობით არცერთი ადგილობრივი გარემო არ არის კონფიგურირებული.","settings.localEnvironments.environment.name":"სახელი","settings.localEnvironments.environment.setup":"დაყენების სცენარი","settings.localEnvironments.environment.setup.description":"ეს სცენარი გაეშვება სამუშაო დირექტორიის შექმნისას.","settings.localEnvironments.environment.setup.hint":"გაშვებულია პროექტის ფესვში.","settings.localEnvironments.environment.setup.platformOverrides":"პლატფორმის გადაფარვები","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} დაყენების სცენარის დამატება","settings.localEnvironments.environment.setup.platformOverrides.description":"გადაფარავს ნაგულისხმევ სცენარს სპეციფიკური OS-ებისთვის.","settings.localEnvironments.environment.setup.platformOverrides.remove":"ამოშლა","settings.localEnvironments.environment.setup.script":"სცენარი","settings.localEnvironments.environment.title":"გარემოს დეტალები","settings.localEnvironments.file.missing":"შეინახეთ ამ ფაილის პირველად შესაქმნელად.","settings.localEnvironments.file.parseError":"არსებული ფაილის გარჩევა შეუძლებელია. შენახვით მოხდება მისი გადაწერა. ({error})","settings.localEnvironments.file.path":"ფაილი: {path}","settings.localEnvironments.file.readError":"ადგილობრივი გარემოს მონაცემების ჩატვირთვა წარუმატებელია. ({error})","settings.localEnvironments.file.title":"ადგილობრივი გარემოს ფაილი","settings.localEnvironments.loading.body":"თქვენი პროექტის კონფიგურაციის მიღება.","settings.localEnvironments.loading.title":"ადგილობრივი გარემოები იტვირთება","settings.localEnvironments.preview.devOnly":"(მხოლოდ დეველოპერი)","settings.localEnvironments.preview.save":"შენახვა","settings.localEnvironments.preview.saveError":"ფაილის შენახვა ვერ მოხერხდა. ({error})","settings.localEnvironments.preview.title":"გადახედვა","settings.localEnvironments.save.disabled.name":"დაამატეთ გარემოს სახელი შესანახად.","settings.localEnvironments.save.disabled.noChanges":"შესანახი ცვლილებების გარეშე.","settings.localEnvironments.save.disabled.saving":"მიმდინარეობს შენახვა…","settings.localEnvironments.save.success":"ადგილობრივი გარემო შენახულია","settings.localEnvironments.unavailable.body":"ადგილობრივი გარემოს პარამეტრები ამ პროექტისთვის ვერ ჩავტვირთეთ.","settings.localEnvironments.unavailable.title":"ადგილობრივი გარემოები მიუწვდომელია","settings.localEnvironments.workspace.add":"პროექტის დამატება","settings.localEnvironments.workspace.title":"პროექტი","settings.localEnvironments.workspaceSelect.addLabel":"გარემოს დამატება","settings.localEnvironments.workspaceSelect.description":"ადგილობრივი გარემოები ატყობინებს Codex-ს, როგორ უნდა დაყენდეს სამუშაო დირექტორიები პროექტისთვის. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ჯერჯერობით პროექტის გარეშე. დაამატეთ პროექტი ადგილობრივი გარემოების კონფიგურირებისთვის.","settings.localEnvironments.workspaceSelect.errorLabel":"გარემო ყურადღებას საჭიროებს","settings.localEnvironments.workspaceSelect.learnMore":"ვრცლად","settings.localEnvironments.workspaceSelect.listLabel":"ხელმისაწვდომი პროექტები","settings.localEnvironments.workspaceSelect.loading":"პროექტები იტვირთება.","settings.localEnvironments.workspaceSelect.loadingLabel":"გარემო იტვირთება","settings.localEnvironments.workspaceSelect.title":"აირჩიეთ პროექტი","settings.localEnvironments.workspaceSelect.viewAction":"დათვალიერება","settings.mcp.addServer":"სერვერის დამატება","settings.mcp.app.configure":"კონფიგურირება","settings.mcp.app.connect":"დაკავშირება","settings.mcp.apps.refresh":"განახლება","settings.mcp.detail.addArgument":"არგუმენტის დამატება","settings.mcp.detail.addEnvVar":"გარემოს ცვლადის დამატება","settings.mcp.detail.addEnvVarPassthrough":"ცვლადის დამატება","settings.mcp.detail.args":"არგუმენტები","settings.mcp.detail.back":"უკან","settings.mcp.detail.command":"გაშვების ბრძანება","settings.mcp.detail.cwd":"სამუშაო დირექტორია","settings.mcp.detail.docs":"მოდელის კონტექსტის პროტოკოლის (MCP) დოკუმენტაციის გახსნა","settings.mcp.detail.docs.link":"დოკუმენტები","settings.mcp.detail.envVarPassthrough":"გარემოს ცვლადის გადაცემა","settings.mcp.detail.envVars":"გარემოს ცვლადები","settings.mcp.detail.http.addEnvHeader":"ცვლადის დამატება","settings.mcp.detail.http.addHeader":"ზედა კოლონტიტულის დამატება","settings.mcp.detail.http.bearerToken":"მფლობელის ჟეტონის გარემოს ცვლადები","settings.mcp.detail.http.envHeaders":"ზედა კოლონტიტულები გარემოს ცვლადებიდან","settings.mcp.detail.http.headers":"ზედა კოლონტიტულები","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"სახელი","settings.mcp.detail.save":"შენახვა","settings.mcp.detail.switchTransportNotice":"თუ MCP სერვერის ტიპის გადართვა გსურთ, პირველ რიგში მოახდინეთ მისი დეინსტალირება.","settings.mcp.detail.titleExisting":"განაახლეთ {name} MCP","settings.mcp.detail.titleNew":"დაუკავშირდით მორგებულ MCP-ს","settings.mcp.detail.transport.http":"სტრიმინგი HTTP-ით","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"დეინსტალირება","settings.mcp.empty":"მორგებული MCP სერვერები არ არის დაკავშირებული","settings.mcp.myServers":"მორგებული სერვერები","settings.mcp.partnerServer.description.figma":"მოახდინეთ კოდის უკეთ გენერირება Figma-ს სრული კონტექტის გამოყენებით","settings.mcp.partnerServer.description.github":"დაიწყეთ GitHub API-ების ინტეგრირება, რომ მოახდინოთ სამუშაო ნაკადების ავტომატიზაცია და ამოიღოთ მონაცემები","settings.mcp.partnerServer.description.linear":"მოახდინეთ ინტეგრირება Linear-ის პრობლემების მეთვალყურეობასთან და პროექტების მენეჯმენტთან","settings.mcp.partnerServer.description.notion":"წაიკითხეთ დოკუმენტები, განაახლეთ გვერდები, მართეთ ამოცანები","settings.mcp.partnerServer.description.playwright":"დაიწყეთ ბრაუზერის ავტომატიზაცია, რომ მოახდინოთ დიზაინის იმპლემენტაცია და გამოცადოთ UI.","settings.mcp.partnerServer.install":"ინსტალაცია","settings.mcp.partnerServer.installAndAuthenticate":"ინსტალაცია და ავთენტიფიკაცია","settings.mcp.partnerServer.logoAlt":"{label} ლოგო","settings.mcp.partnerServer.manage":"მართვა","settings.mcp.partnerServer.vendor":"{vendor}-ის მიერ","settings.mcp.recommendedServers":"რეკომენდებული სერვერები","settings.mcp.restartApp":"ხელახლა დაწყება","settings.mcp.restartExtension":"გაფართოების ხელახლა დაწყება","settings.mcp.server.enable":"ჩართვა","settings.mcp.server.login":"ავთენტიფიკაცია","settings.mcp.server.settings":"პარამეტრები","settings.multiselect.createOption":"„{value}“-ის შექმნა","settings.multiselect.removeOption":"ამოშლა","settings.nav.account":"მომხმარებლის ანგარიში","settings.nav.agent":"კონფიგურაცია","settings.nav.ariaLabel":"პარამეტრები","settings.nav.back":"აპზე დაბრუნება","settings.nav.data-controls":"დაარქივებული ნაკადები","settings.nav.environments":"Cloud გარემოები","settings.nav.externalTooltip":"[ალფა] იხსნება ბრაუზერში","settings.nav.general-settings":"ზოგადი","settings.nav.git-settings":"Git","settings.nav.local-environments":"გარემოები","settings.nav.mcp-settings":"მოდელის კონტექსტის პროტოკოლი (MCP) სერვერები","settings.nav.notImplemented":"[ალფა] არ არის ხელმისაწვდომი Alpha-ში","settings.nav.personalization":"პერსონალიზაცია","settings.nav.skills-settings":"უნარები","settings.nav.usage-analytics":"გამოყენება და ანალიტიკა","settings.nav.worktrees":"სამუშაო დირექტორიები","settings.openSourceLicenses.back":"უკან","settings.openSourceLicenses.loading":"იტვირთება...","settings.openSourceLicenses.missing":"მესამე მხარის შეტყობინებები არ იყო ნაპოვნი.","settings.openSourceLicenses.notSupported":"არ არის ხელმისაწვდომი ამ ჰოსტში.","settings.openSourceLicenses.rowDescription":"მესამე მხარის შეტყობინებები შეკრული დამოკიდებულებებისთვის","settings.openSourceLicenses.rowLabel":"ღია კოდის ლიცენზიები","settings.openSourceLicenses.subtitle":"მესამე მხარის შეტყობინებები ამ აპში შეტანილი დამოკიდებულებებისთვის","settings.openSourceLicenses.title":"ღია კოდის ლიცენზიები","settings.openSourceLicenses.view":"ნახვა","settings.personalization.agents.description":"დაარედაქტირეთ ინსტრუქციები, რომლებიც Codex-ს მოგარგებთ. {learnMore}","settings.personalization.agents.learnMore":"ვრცლად","settings.personalization.agents.loadError":"agents.md-ს ჩატვირთვა ვერ ხერხდება.","settings.personalization.agents.loading":"agents.md იტვირთება…","settings.personalization.agents.placeholder":"დაამატეთ თქვენი მორგებული ინსტრუქციები…","settings.personalization.agents.retry":"ხელახლა ცდა","settings.personalization.agents.save":"შენახვა","settings.personalization.agents.save.error":"agents.md-ს შენახვა ვერ ხერხდება","settings.personalization.agents.save.success":"agents.md შენახულია","settings.personalization.agents.title":"პერსონალიზებული ინსტრუქციები","settings.personalization.personality.description":"ნაგულისხმევი ტონის დახურვა Codex-ის პასუხებისთვის","settings.personalization.personality.label":"პიროვნულობა","settings.sample.contentBody":"გამოიყენეთ ეს განლაგება თქვენი პარამეტრების პანელების შედგენისთვის თანმიმდევრული ინტერვალებით.","settings.sample.contentTitle":"კონტენტის ბლოკის ნიმუში","settings.section.account":"მომხმარებლის ანგარიში","settings.section.agent":"კონფიგურაცია","settings.section.data-controls":"დაარქივებული ნაკადები","settings.section.environments":"Cloud გარემოები","settings.section.external":"იხსნება თქვენს ბრაუზერში Alpha-ს დროს","settings.section.general-settings":"ზოგადი","settings.section.git-settings":"Git","settings.section.local-environments":"გარემოები","settings.section.mcp-settings":"მოდელის კონტექსტის პროტოკოლი (MCP) სერვერები","settings.section.mcp-settings.docs":"დოკუმენტები","settings.section.mcp-settings.subtitle":"გარე ხელსაწყოებისა და მონაცემთა წყაროების დაკავშირება.","settings.section.personalization":"პერსონალიზაცია","settings.section.skills-settings":"უნარები","settings.section.unavailable":"ჯერჯერობით არ არის ხელმისაწვდომი Alpha-ში","settings.section.usage-analytics":"გამოყენება და ანალიტიკა","settings.section.worktrees":"სამუშაო დირექტორიები","settings.threadDetail.description":"აირჩიეთ, ბრძანების რამდენი გამომავალი მონაცემი იყოს ნაჩვენები ნაკადებში","settings.threadDetail.label":"ნაკადის დეტალი","settings.worktrees.conversation.untitled":"უსათაურო საუბარი","settings.worktrees.delete.error":"სამუშაო დირექტორიის წაშლა წარუმატებელია","settings.worktrees.empty.body":"Codex-ის მიერ შექმნილი სამუშაო დირექტორიები აქ გამოჩნდება.","settings.worktrees.empty.title":"ჯერჯერობით სამუშაო დირექტორიების გარეშე","settings.worktrees.error.body":"სამუშაო დირექტორიების ჩატვირთვისას მოხდა შეცდომა.","settings.worktrees.error.retry":"ხელახლა ცდა","settings.worktrees.error.title":"სამუშაო დირექტორიების ჩატვირთვა ვერ ხერხდება","settings.worktrees.loading.body":"მიმდინარეობს სამუშაო დირექტორიის დეტალების მიღება.","settings.worktrees.loading.title":"სამუშაო დირექტორიები იტვირთება","settings.worktrees.repository.loading":"რეპოზიტორიუმის მეტამონაცემები იტვირთება…","settings.worktrees.repository.unknown":"უცნობი რეპოზიტორიუმი","settings.worktrees.row.conversations":"საუბრები","settings.worktrees.row.conversations.empty":"ამ სამუშაო დირექტორიაზე საუბრები არ არის მიბმული.","settings.worktrees.row.conversations.loading":"საუბრები იტვირთება…","settings.worktrees.row.delete":"წაშლა","settings.worktrees.row.title":"სამუშაო დირექტორია","sidebarElectron.addWorkspaceRoot":"ახალი პროექტის დამატება","sidebarElectron.archiveThread":"ნაკადის დაარქივება","sidebarElectron.archiveThreadError":"ნაკადის დაარქივება ვერ მოხერხდა","sidebarElectron.collapseFolder":"საქაღალდის ჩაკეცვა","sidebarElectron.createStableWorktree.dialog.cancel":"გაუქმება","sidebarElectron.createStableWorktree.dialog.create":"შექმნა","sidebarElectron.debugNavLink":"დეფექტების აღმოჩენა და აღმოფხვრა","sidebarElectron.editWorkspaceRootOptionName":"სახელის რედაქტირება","sidebarElectron.expandFolder":"საქაღალდის გაშლა","sidebarElectron.groupByMenu.recency":"ქრონოლოგიური სია","sidebarElectron.groupByMenu.title":"ორგანიზება","sidebarElectron.groupByMenu.workspace":"პროექტის მიხედვით","sidebarElectron.inboxRouteNavLink":"ავტომატიზაციები","sidebarElectron.markThreadUnread":"წაუკითხავად მონიშვნა","sidebarElectron.missingWorkspaceRoot":"პროექტის ეს საქაღალდე წაშლილი ან გადატანილია","sidebarElectron.newThread":"ახალი ნაკადი","sidebarElectron.newThreadInGroup":"ახალი ნაკადის დაწყება {folder}-ში","sidebarElectron.noRecentThreads":"უახლესი ნაკადების გარეშე","sidebarElectron.noTasks":"ნაკადების გარეშე","sidebarElectron.noTasks.start":"ახალი პროექტის დამატება","sidebarElectron.noTasksWithFilter":"არცერთი ნაკადი არ ემთხვევა ფილტრებს","sidebarElectron.pinnedThreads":"ჩამაგრებული ნაკადები","sidebarElectron.recentNavLink":"ნაკადები","sidebarElectron.recentThreads":"უახლესი ნაკადები","sidebarElectron.removeWorkspaceRootOption":"ამოშლა","sidebarElectron.renameThread":"ნაკადის გადარქმევა","sidebarElectron.renameThreadDialogAriaLabel":"ნაკადის სათაური","sidebarElectron.renameThreadDialogCancel":"გაუქმება","sidebarElectron.renameThreadDialogPlaceholder":"სათაურის დამატება…","sidebarElectron.renameThreadDialogSave":"შენახვა","sidebarElectron.renameThreadDialogSubtitle":"მოკლე და ცნობადი იყოს.","sidebarElectron.renameThreadDialogTitle":"ნაკადის გადარქმევა","sidebarElectron.renameThreadError":"ნაკადის გადარქმევა წარუმატებელია","sidebarElectron.renameWorkspaceRootOptionLabel":"ჩვენების სახელი","sidebarElectron.showLess":"ნაკლების ჩვენება","sidebarElectron.showMenu.all":"ყველა ნაკადი","sidebarElectron.showMenu.relevant":"მნიშვნელოვანი","sidebarElectron.showMenu.relevantHint":"მხოლოდ მიმდინარე განშტოებისთვის უახლესი ნაკადების, სამუშაო დირექტორიების ან სხვა ნაკადების ჩვენება, რომლებიც თქვენს ყურადღებას საჭიროებს","sidebarElectron.showMenu.title":"ჩვენება","sidebarElectron.showMenu.tooltip":"ნაკადების გაფილტვრა, დალაგება და ორგანიზება","sidebarElectron.showMenu.trigger":"გვერდითი ზოლის ნაკადების გაფილტვრა","sidebarElectron.showMore":"მეტის ჩვენება","sidebarElectron.skillsRouteNavLink":"უნარები","sidebarElectron.sortMenu.created":"შექმნილი","sidebarElectron.sortMenu.title":"დალაგება შემდეგის მიხედვით:","sidebarElectron.sortMenu.updated":"განახლებული","sidebarElectron.taskNavigation":"ავტომატიზაციის საქაღალდეები","sidebarElectron.tasksInFolder":"ავტომატიზაციები {folder}-ში","sidebarElectron.workspaceOptions":"პროექტის მოქმედებები {folder}-ისთვის","sidebarElectron.worktreeGroupTooltip":"ეს არის git სამუშაო დირექტორია","skills.appsPage.createSkill":"ახალი უნარი","skills.appsPage.empty.skills":"უნარები არ არის ნაპოვნი","skills.appsPage.search.skills":"უნარების ძიება","skills.appsPage.search.skills.label":"უნარების ძიება","skills.appsPage.section.installedApps":"დაყენებული","skills.appsPage.section.skills":"უნარები","skills.appsPage.subheading":"მიანიჭეთ Codex-ს სუპერძალები. <link>ვრცლად</link>","skills.appsPage.tab.recommended":"რეკომენდებული","skills.appsPage.tab.skills":"უნარები","skills.card.contentsError":"უნარის კონტენტის ჩატვირთვა ვერ ხერხდება.","skills.card.disable":"გამორთვა","skills.card.disableSuccess":"{skillName} უნარი გათიშულია","skills.card.disabledBadge":"გამორთული","skills.card.enable":"ჩართვა","skills.card.enableSuccess":"{skillName} უნარი ჩართულია","skills.card.loadingContents":"უნარის კონტენტი იტვირთება…","skills.card.more":"მეტი მოქმედება","skills.card.open":"გახსნა","skills.card.removeFailed":"უნარის დეინსტალირება წარუმატებელია","skills.card.removeSuccess":"{skillName} უნარი დეინსტალირებულია","skills.card.toggleEnabledError":"უნარის განახლება ვერ მოხერხდა","skills.card.try":"ცდა","skills.card.trySkill":"უნარის ცდა","skills.card.uninstall":"დეინსტალირება","skills.hero.dotLabel":"{index} სლაიდზე გადასვლა","skills.hero.next":"შემდეგი გამორჩეული ფუნქცია","skills.hero.trySkill":"უნარის ცდა","skills.page.createSkill":"ახალი უნარი","skills.page.empty":"უნარები არ არის ნაპოვნი","skills.page.filteredEmpty":"არცერთი უნარი არ ემთხვევა თქვენს ფილტრებს","skills.page.filteredEmptyDescription":"ცადეთ თქვენი ძიების ან სფეროს ფილტრების კორექტირება","skills.page.heading":"უნარები","skills.page.loading":"უნარები იტვირთება…","skills.page.refreshSkills":"განახლება","skills.page.refreshSkillsToUseNew":"განაახლეთ ახალი უნარ(ებ)ის გამოსაყენებლად","skills.page.search":"უნარების ძიება","skills.page.search.label":"უნარების ძიება","skills.page.subheading":"მიანიჭეთ Codex-ს სუპერძალები. <link>ვრცლად</link>","skills.preview.copyPrompt":"მოთხოვნის კოპირება","skills.preview.examplePrompt":"მოთხოვნის მაგალითი","skills.recommended.error":"რეკომენდებული უნარების ჩატვირთვა ვერ ხერხდება","skills.recommended.install":"ინსტალაცია","skills.recommended.installSkill":"უნარის ინსტალაცია","skills.recommended.installSuccess":"{skillName} უნარი ინსტალირებულია","skills.recommended.installed":"დაყენებული","skills.scope.admin":"ადმინისტრატორი","skills.scope.adminInstalled":"ადმინისტრატორის მიერ ინსტალირებული","skills.scope.builtIn":"სისტემა","skills.scope.personal":"პირადი","skills.scope.repo":"საცავი","skills.scope.system":"სისტემა","skills.scope.team":"გუნდი","skills.scope.user":"მომხმარებელი","skills.section.installed":"დაყენებული","skills.section.recommended":"რეკომენდებული","story.slidingToggle.existing":"არსებული","story.slidingToggle.fromLocal":"ადგილობრივიდან","story.slidingToggle.new":"ახალი","story.slidingToggle.toLocal":"ადგილობრივზე","terminal.close":"ტერმინალის დახურვა","terminal.title":"ტერმინალი","thinkingShimmer.default":"ფიქრობს","threadEnvIcon.cloudTooltip":"ეს საუბარი გაშვებულია Codex Cloud-ში.","threadEnvIcon.localTooltip":"ეს საუბარი გაშვებულია ადგილობრივად.","threadEnvIcon.worktreeTooltip":"ეს საუბარი გაშვებულია ადგილობრივ git სამუშაო დირექტორიაში.","threadHeader.archiveConfirmCancel":"გაუქმება","threadHeader.archiveConfirmConfirm":"დაარქივება","threadHeader.archiveConfirmSubtitle":"მისი პოვნა მოგვიანებით დაარქივებულ ნაკადებში შეგიძლიათ.","threadHeader.archiveConfirmTitle":"გსურთ ნაკადის დაარქივება?","threadHeader.copyAppLink":"Deeplink-ის კოპირება","threadHeader.copySessionId":"სესიის საიდენტიფიკაციო ნომრის კოპირება","threadHeader.copyWorkingDirectory":"სამუშაო დირექტორიის კოპირება","threadHeader.forkIntoLocal":"ადგილობრივში განშტოება","threadHeader.forkIntoWorktree":"ახალ სამუშაო დირექტორიაში განშტოება","threadHeader.forkPendingWorktreePrompt":"ამ საუბრის განშტოება ახალ სამუშაო დირექტორიაში.","threadHeader.forkPendingWorktreeTitle":"განშტოებული საუბარი","threadHeader.forkThreadError":"ნაკადის განშტოება ვერ მოხერხდა","threadHeader.forkThreadRequiresGitRepo":"ახალ სამუშაო დირექტორიაში განშტოება საჭიროებს git რეპოზიტორიუმს","threadHeader.moreActions":"ნაკადის მოქმედებები","threadPage.newThread":"ახალი ნაკადი","threadPage.runAction.changeEnvironment":"გარემოს შეცვლა","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} მოქმედება","threadPage.runAction.environmentSelector.label":"გარემოს არჩევა","threadPage.runAction.label":"გაშვება","threadPage.runAction.missing.label":"გაშვების მოქმედების დაყენება","threadPage.runAction.setup.commandLabel":"გაშვების ბრძანება","threadPage.runAction.setup.description":"უთხარით Codex-ს, როგორ დააყენოს დამოკიდებულებები და ჩართოს თქვენი აპი.","threadPage.runAction.setup.editMore":"გარემოს პარამეტრები","threadPage.runAction.setup.placeholder":"მაგ.: npm install npm run","threadPage.runAction.setup.submit":"შენახვა და გაშვება","threadPage.runAction.setup.title":"გაშვება","threadPage.runAction.tooltip.withEnvironment":"{environmentName} მოქმედება","threadPage.toggleDiffPanel":"Diff-ის პანელის გადართვა","threadPage.toggleTerminal":"ტერმინალის გადართვა","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"საქაღალდის გახსნა","toolSummaryForCmd.exploredFiles":"<verb>ჩამოთვლილი</verb> ფაილები","toolSummaryForCmd.exploredFilesInPath":"<verb>ჩამოთვლილი</verb> ფაილები {path}-ში","toolSummaryForCmd.exploringFiles":"ფაილების <verb>ჩამოთვლა</verb>","toolSummaryForCmd.exploringFilesInPath":"ფაილების <verb>ჩამოთვლა</verb> {path}-ში","toolSummaryForCmd.ranGenericCommand":"<status>ბრძანება გაეშვა</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>გაშვებულია</status> {command}{timer}","toolSummaryForCmd.read":"<verb>წაკითხვა</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>ბრძანება გაშვებულია</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}-ისთვის","toolSummaryForCmd.searchedFor":"<verb>მოიძია</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>მოიძია</verb> ფაილები","toolSummaryForCmd.searchedForInPath":"<verb>მოიძია</verb> {query} {path}-ში","toolSummaryForCmd.searchingFor":"<verb>იძებნება</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>იძებნება</verb> ფაილები","toolSummaryForCmd.searchingForInPath":"<verb>იძებნება</verb> {query} {path}-ში","traceRecording.details.noteLabel":"რას აკეთებდით, როცა ეს მოხდა? (არასავალდებულო)","traceRecording.details.notePlaceholder":"გადავედი ვრცელ ნაკადზე, შემდეგ განმეორებითად ვრთავდი ჩანართებს შორის…","traceRecording.details.submit":"გაგზავნე ქმედებების ტექნიკური ისტორია","traceRecording.details.subtitle":"შეგვიძლია გავაგზავნოთ ამ პროფილის ქმედებების ტექნიკური ისტორია, რათა დაგვეხმაროს შესრულების პრობლემების დიაგნოსტიკაში.","traceRecording.details.title":"გავგზავნო პროფილის ქმედებების ტექნიკური ისტორია?","traceRecording.progress.subtitle":"Codex-ის ღია მდგომარეობაში დატოვება, სანამ ეს დასრულდება.","traceRecording.saving.title":"მიმდინარეობს ქმედებების ტექნიკური ისტორიის შენახვა…","traceRecording.startDetails.cancel":"გაუქმება","traceRecording.startDetails.submit":"კარგი, დაიწყე ჩაწერა","traceRecording.startDetails.subtitle":"„კარგიზე“ დაწკაპუნების შემდეგ გაამეორეთ ეფექტიანობის პრობლემა, შემდეგ კი დააწკაპუნეთ მოტივტივე წითელ ინდიკატორზე და მიმოიხილეთ ქმედებების ტექნიკური ისტორია.","traceRecording.startDetails.title":"ქმედებების ტექნიკური ისტორიის ჩანაწერის მუშაობის პრინციპი","traceRecording.stopButton.ariaLabel":"ტრესის ჩანაწერის შეწყვეტა","traceRecording.upload.successToast":"პროფილის ქმედებების ტექნიკური ისტორია გაგზავნილია.","traceRecording.uploading.title":"მიმდინარეობს ქმედებების ტექნიკური ისტორიის ატვირთვა…","wham.diff.addComment":"კომენტარის დამატება","wham.diff.binaryFile":"ბინარული ფაილი არ არის ნაჩვენები","wham.diff.noContent":"კონტენტი არ არის","wham.fileTag.deleted":"წაშლილი","wham.fileTag.new":"ახალი","wham.formattedRelativeDateTime.compactDaysAgo":"{value}დ","wham.formattedRelativeDateTime.compactHoursAgo":"{value}სთ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}წთ","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}თვ","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}კვ","wham.formattedRelativeDateTime.compactYearsAgo":"{value}წ","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"მუშაობს თქვენს ამოცანაზე","wham.whamProposedTask.title":"შემოთავაზებული ამოცანა","wham.whamProposedTask.useSuggestion":"შეთავაზების გამოყენება","workspaceRootDialog.addError":"პროექტის დამატება წარუმატებელია","workspaceRootDialog.cancel":"გაუქმება","workspaceRootDialog.confirmAdd":"პროექტის დამატება","workspaceRootDialog.confirmPick":"პროექტის გამოყენება","workspaceRootDialog.description":"პროექტად გამოყენებისთვის შეიყვანეთ ბილიკი {host}-ზე.","workspaceRootDialog.pathLabel":"პროექტის ბილიკი","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"პროექტის ბილიკის დამატება","workspaceRootDialog.title.pick":"პროექტის ბილიკის არჩევა","worktreeInitV2.cancel":"გაუქმება","worktreeInitV2.notification.failedTitle":"სამუშაო დირექტორიის დაყენება წარუმატებელია.","worktreeInitV2.output.empty":"გამოტანის მოლოდინში…","worktreeInitV2.status.error":"სამუშაო დირექტორიის დაყენება წარუმატებელია.","worktreeInitV2.status.running":"მიმდინარეობს სამუშაო დირექტორიის შექმნა და დაყენების გაშვება.","worktreeInitV2.status.runningFork":"მიმდინარეობს სამუშაო დირექტორიის შექმნა ამ საუბრის განშტოებისთვის.","worktreeInitV2.status.success":"სამუშაო დირექტორია მზადააა.","worktreeInitV2.title":"მიმდინარეობს სამუშაო დირექტორიის შექმნა","worktreeInitV2.workLocallyInstead":"სანაცვლოდ, იმუშავეთ ადგილობრივად","worktreeRestoreBanner.body":"ამ ნაკადის სამუშაო დირექტორია ამოიშალა დისკზე სივრცის შესანახად","worktreeRestoreBanner.missing.body":"ამ ნაკადის სამუშაო დირექტორია აღარ არსებობს","worktreeRestoreBanner.missing.title":"მიმდინარე სამუშაო დირექტორია აკლია","worktreeRestoreBanner.restore.error":"სამუშაო დირექტორიის აღდგენა წარუმატებელია: {message}","worktreeRestoreBanner.restore.success":"სამუშაო დირექტორია აღდგენილია","worktreeRestoreBanner.restoreCta":"სამუშაო დირექტორიის აღდგენა","worktreeRestoreBanner.title":"სამუშაო დირექტორია გასუფთავდა"};Object.assign(e,globalThis.codexI18nOverrides?.["ka-GE"]);export{e as default};
 //# sourceMappingURL=ka-GE-BTq_5kdI.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Көшіру","app.sidebar.hide":"Бүйірлік тақтаны жасыру","app.sidebar.show":"Бүйірлік тақтаны көрсету","app.sidebar.tooltip":"Бүйірлік тақтаны ауыстыру","appHeader.installUpdate":"Жаңарту","appSunset.body":"Қолданбаның бұл нұсқасына енді қолдау көрсетілмейді. Ең соңғы нұсқасын <here>мына жерден</here> жүктеп алыңыз.","appSunset.title":"Жаңарту қажет","automation.updateDirective.create":"Жасау","automation.updateDirective.open":"Ашу","automation.updateDirective.untitled":"Тақырыпсыз автоматтандыру","automation.updateDirective.update":"Жаңарту","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# мүмкіндік} other {# мүмкіндік}}","cloudTaskRow.archiveError":"Тапсырманы мұрағаттау мүмкін болмады","code.diff.requestChange":"Өзгеріс сұрау","code.diffComment.cancel":"Бас тарту","code.diffComment.comment":"Пікір","code.diffComment.delete":"Жою","code.diffComment.save":"Сақтау","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Ешқандай іздеулерге шағым жасалған жоқ.","codex.alert.closeAriaLabel":"Жабу","codex.appUpsellBanner.cbpApi.message":"Codex қолданбасымен жылдамырақ құрыңыз. Қазір жүктеп алыңыз немесе {learnMoreLink}.","codex.appUpsellBanner.download":"Жүктеп алу","codex.appUpsellBanner.freeGo.message":"Codex 2 наурызға дейін тарифтік жоспарыңызға енгізілген. Құрастыру процесін жылдамдату үшін Codex қолданбасын қолданып көріңіз.","codex.appUpsellBanner.later":"Кейінірек","codex.appUpsellBanner.learnMoreLowercase":"көбірек білу","codex.appUpsellBanner.new":"Жаңа","codex.appUpsellBanner.proPlusBusiness.message":"2 сәуірге дейін лимиті екі есе көп Codex қолданбасын қолданып көріңіз. Қазір жүктеп алыңыз немесе {learnMoreLink}.","codex.appUpsellBanner.title":"Codex қолданбасы","codex.applyDropdown.header.changes":"Өзгерістер","codex.applyDropdown.header.fileCount":"{count, plural, one {# файл} other {# файл}}","codex.applyDropdown.header.rows":"қатар","codex.applyDropdown.header.title":"Өзгертулерді қолдану","codex.applyDropdown.header.workspace":"Жоба","codex.applyDropdown.results.conflicted":"{count, plural, one {1 файл сәйкес келмейді:} other {{count} файл сәйкес келмейді:}}","codex.applyDropdown.results.empty":"Файлдар көшірілмеді","codex.applyDropdown.results.skipped":"{count, plural, one {1 файл өткізілді:} other {{count} файл өткізілді:}}","codex.applyOrRevertBanner.apply":"Қолдану","codex.applyOrRevertBanner.applyMessage":"Өзгерістерді қолданып, құрылғыдан жалғастыру керек пе?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Бұл тапсырма {environment} ішінде орындалды, сондықтан ол дұрыс қолданылмауы мүмкін.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment} ішінде жасалған өзгерістер дұрыс қолданылмауы мүмкін.","codex.applyOrRevertBanner.reapply":"Қайта қолдану","codex.applyOrRevertBanner.revert":"Қайтару","codex.applyOrRevertBanner.revertMessage":"Жасалған өзгерістерді қайтару керек пе?","codex.applyResultsDialog.applied":"Дұрыс қолданылды ({count})","codex.applyResultsDialog.close":"Жабу","codex.applyResultsDialog.conflicted":"Сәйкес келмейді ({count})","codex.applyResultsDialog.noDetails":"Файл туралы мәліметтер жоқ.","codex.applyResultsDialog.skipped":"Өткізіп жіберілді ({count})","codex.applyResultsDialog.title":"Нәтижелерді қолдану","codex.archiveInfo":"Мұрағатталған чаттарды {dataControlsLink} ішінен көру","codex.archiveInfo.dataControlsLink":"Деректер басқару элементтері","codex.archiveInfo.electron":"Мұрағатталған чаттарды {settingsLink} ішінен көру","codex.archiveInfo.extension":".codex қалтасындағы мұрағатталған чаттарды көріңіз.","codex.archiveInfo.settingsLink":"Параметрлер","codex.banner.content.description":"Тапсырмаларды қатар орындап, кез келген жерде орындалу барысын қадағалап, ЖИ көмегімен сұрауларды қарап шығыңыз.","codex.banner.content.headline":"Codex мұның бәрін жасайды.","codex.cloudTaskRow.archiveTask":"Тапсырманы мұрағаттау","codex.cloudTaskRow.confirmArchiveTask":"Растау","codex.command.feedback":"Пікір","codex.command.findInThread":"Табу","codex.command.forceReloadSkills":"Дағдыларды күштеп жүктеу","codex.command.logOut":"Шығу","codex.command.manageTasks":"Тапсырмаларды басқару","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Артқа","codex.command.navigateForward":"Алға","codex.command.newThread":"Жаңа тізбек","codex.command.nextThread":"Келесі тізбек","codex.command.openFolder":"Қалтаны ашу","codex.command.openSkills":"Дағдыларға өту","codex.command.openThreadOverlay":"Қалқымалы тізбек","codex.command.personalitySettings":"Даралық","codex.command.previousThread":"Алдыңғы тізбек","codex.command.settings":"Параметрлер","codex.command.toggleDiffPanel":"Diff тақтасын қосу/өшіру","codex.command.toggleSidebar":"Бүйірлік тақтаны ауыстыру","codex.command.toggleTerminal":"Терминалды ауыстыру","codex.commandGroup.app":"Қолданба","codex.commandGroup.configure":"Конфигурациялау","codex.commandGroup.navigation":"Навигация","codex.commandGroup.panels":"Панельдер","codex.commandGroup.skills":"Дағдылар","codex.commandGroup.thread":"Thread","codex.commandGroup.workspace":"Жоба","codex.commandMenu.noResults":"Сәйкестік табылмады","codex.commandMenu.searchPlaceholder":"Іздеу пәрмендері","codex.commandMenu.suggestedGroup":"Ұсынылған","codex.commandMenu.switchWorkspace":"Жобаны ауыстыру","codex.commandMenu.title":"Пәрмен мәзірі","codex.common.retry":"Қайталау","codex.composer.searchBranches":"Тармақтарды іздеу","codex.dialog.basic.body":"Бұл Radix Dialog жасақтамамыз қолданылған қарапайым модалды диалог.","codex.dialog.basic.cancel":"Бас тарту","codex.dialog.basic.confirm":"Растау","codex.dialog.basic.open":"Диалог ашу","codex.dialog.basic.title":"Диалог үлгісі","codex.dialog.long.close":"Жабу","codex.dialog.long.line":"Диалогтік терезенің ішінде ұзын мазмұнды көрсетуге арналған {index} айналдырмалы жолақ.","codex.dialog.long.open":"Ұзақ диалогты ашыңыз","codex.dialog.long.title":"Ұзақ мазмұнды диалог","codex.dialog.unstyled.body":"Бұл оқиғада абоненттер сұхбат мазмұнын рәсімдеу стилін қалай толығымен басқара алатыны көрсетілген.","codex.dialog.unstyled.open":"Стильдерсіз сұхбат терезесін ашу","codex.dialog.unstyled.title":"Стильсіз мазмұн","codex.diff.openInEditorPrompt.openButton":"Редакторда ашу","codex.diff.openInEditorPrompt.singleLine":"Бұл файл осында көрсетілуі үшін тым үлкен.","codex.diffView.failedToDecodeBase64Diff":"base64 дифференциалын кодсыздандыру мүмкін болмады","codex.diffView.filesChanged":"{fileCount, plural, one {# файл өзгерді} other {# файл өзгертілді}}","codex.diffView.imagePreviewAlt":"Суретті алдын ала қарау","codex.diffView.imagePreviewEmpty":"Суреттер жоқ","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Дифференциал деректері жоқ","codex.diffView.pdfPreview.nextPage":"Келесі бет","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Алдыңғы бет","codex.diffView.pdfPreviewEmpty":"PDF алдын ала көрінісі жоқ","codex.diffView.pdfPreviewError":"PDF алдын ала көрінісін рендерлеу мүмкін емес","codex.diffView.richPreviewDisable":"Кеңейтілген алдын ала қарауды өшіру","codex.diffView.richPreviewEnable":"Кеңейтілген алдын ала қарауды қосу","codex.diffView.richPreviewLoading":"Алдын ала қарауды жүктеу...","codex.diffView.richPreviewToggle":"Кеңейтілген алдын ала қарауды қосу/өшіру","codex.diffView.switchToUnified":"Біріктірілген дифференциалға ауысу","codex.environmentSelector.noEnvironment":"Орталар жоқ","codex.environments.environmentSettings":"Орта параметрлері","codex.environments.learnMore":"Көбірек білу","codex.environments.listError":"Орталар жүктелмеді.","codex.environments.noEnvironmentsFound":"Eшқандай орта табылмады","codex.environments.searchError":"Орталарды іздеу мүмкін болмады.","codex.errorBoundary.genericError":"Ой, белгісіз қате шықты","codex.errorBoundary.goHome":"Қайталап көр","codex.file.patch.missing":"Бұл файл үшін патч жасау мүмкін емес.","codex.gallery.automations.cwdLabel":"Жобалар","codex.gallery.automations.nameLabel":"Аты","codex.gallery.automations.namePlaceholder":"Тапсырманы қорытындылау","codex.gallery.automations.promptLabel":"Көмексөз","codex.gallery.automations.promptPlaceholder":"Codex не істеу керектігін сипаттаңыз","codex.gallery.dialogs.automation.label":"Автоматтандыру диалогі","codex.gallery.dialogs.basic.body":"Осы орналасуды тікелей растауларға немесе қысқа формаларға пайдаланыңыз.","codex.gallery.dialogs.basic.cancel":"Бас тарту","codex.gallery.dialogs.basic.confirm":"Растау","codex.gallery.dialogs.basic.label":"Негізгі диалогтар","codex.gallery.dialogs.basic.title":"Диалог үлгісі","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Мәселені сипаттап беріңіз","codex.gallery.dialogs.feedbackSubmission.bad":"Нашар нәтиже","codex.gallery.dialogs.feedbackSubmission.bug":"Қате","codex.gallery.dialogs.feedbackSubmission.good":"Жақсы нәтиже","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Ағымдағы Codex сеанс журналдарын қосу","codex.gallery.dialogs.feedbackSubmission.label":"Пікір жіберу","codex.gallery.dialogs.feedbackSubmission.other":"Басқа","codex.gallery.dialogs.feedbackSubmission.placeholder":"Мәселені мұнда сипаттап беріңіз","codex.gallery.dialogs.feedbackSubmission.submit":"Жіберу","codex.gallery.dialogs.feedbackSubmission.title":"Пікір","codex.gallery.dialogs.feedbackSuccess.body":"Пікір жүктеп салынды. Егер мәселе шешілмесе, GitHub мәселесін ашыңыз немесе бар ашық мәселеде тізбек идентификаторын атап өтіңіз:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Жабу","codex.gallery.dialogs.feedbackSuccess.label":"Пікір сәтті жіберілді","codex.gallery.dialogs.feedbackSuccess.title":"Пікір жүктеп салынды","codex.gallery.dialogs.gitApplyResults.applied":"Дұрыс қолданылды (2)","codex.gallery.dialogs.gitApplyResults.close":"Жабу","codex.gallery.dialogs.gitApplyResults.conflicted":"Қайшылық шықты (1)","codex.gallery.dialogs.gitApplyResults.label":"Нәтижелерді қолдану","codex.gallery.dialogs.gitApplyResults.title":"Нәтижелерді қолдану","codex.gallery.dialogs.gitPushError.body":"Соңғы өзгертулерді шығарып алыңыз немесе қашықтағы журналдың үстінен жазу қауіпсіз екенін білсеңіз күшпен жіберіңіз.","codex.gallery.dialogs.gitPushError.cancel":"Бас тарту","codex.gallery.dialogs.gitPushError.force":"Мәжбүрлі жіберу","codex.gallery.dialogs.gitPushError.label":"Жіберу қатесі","codex.gallery.dialogs.gitPushError.subtitle":"Тармақ бастапқының/негізгінің артында.","codex.gallery.dialogs.gitPushError.title":"Өзгертулер жіберілмеді","codex.gallery.dialogs.gitRevert.cancel":"Бас тарту","codex.gallery.dialogs.gitRevert.confirm":"Қайтару","codex.gallery.dialogs.gitRevert.label":"Өзгертулерді қайтару","codex.gallery.dialogs.gitRevert.skip":"Қайта сұрамау","codex.gallery.dialogs.gitRevert.subtitle":"Бұл әрекет осы өзгертулердің барлығын жояды.","codex.gallery.dialogs.gitRevert.title":"Өзгертулерді қайтару керек пе?","codex.gallery.dialogs.longForm.label":"Кеңейтілген пішіндегі диалог","codex.gallery.dialogs.proseModal.body":"Бұл модальдік терезе стилі ұзағырақ нұсқаулар, өніммен танысу немесе кеңейтілген мазмұнды блоктар үшін қолданылады.","codex.gallery.dialogs.proseModal.close":"Жабу","codex.gallery.dialogs.proseModal.subtitle":"Мұнда неғұрлым егжей-тегжейлі нұсқаулықтарды немесе құжаттаманы орналастыруға болады.","codex.gallery.dialogs.proseModal.title":"Прозалық модал","codex.gallery.dialogs.submitBlocked.label":"Жіберу бұғатталған","codex.gallery.dialogs.submitBlocked.message":"Хабарыңызды жіберу мүмкін емес, себебі жоба жоқ.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Хабар жіберу мүмкін емес","codex.gallery.dialogs.title":"Диалогтар","codex.gallery.dropdown.filterPlaceholder":"Элементтерді сүзгілеу","codex.gallery.dropdowns.actionRow":"Әрекет қатарлары","codex.gallery.dropdowns.actionRow.disabled":"Өшірілген әрекет","codex.gallery.dropdowns.actionRow.primary":"Негізгі әрекет","codex.gallery.dropdowns.actionRow.secondary":"Қосымша әрекет","codex.gallery.dropdowns.actionRow.trigger":"Әрекеттерді көрсету","codex.gallery.dropdowns.basic":"Негізгі төменге жайылатын тізім","codex.gallery.dropdowns.basic.newFile":"Жаңа файл","codex.gallery.dropdowns.basic.newFolder":"Жаңа папка","codex.gallery.dropdowns.basic.openSettings":"Параметрлерді ашу","codex.gallery.dropdowns.basic.title":"Жылдам әрекеттер","codex.gallery.dropdowns.basic.trigger":"Мәзірді ашу","codex.gallery.dropdowns.basic.upload":"Жүктеп салу","codex.gallery.dropdowns.panel":"Панель беті","codex.gallery.dropdowns.panel.apply":"Қолдану","codex.gallery.dropdowns.panel.body":"Айырмашылықтарды тексеріп, жобаға қолданыңыз.","codex.gallery.dropdowns.panel.preview":"Алдын ала қарау","codex.gallery.dropdowns.panel.title":"Өзгертулерді қолдану","codex.gallery.dropdowns.panel.trigger":"Панельді ашу","codex.gallery.dropdowns.search":"Іздеуге болатын төмен жайылмалы тізім","codex.gallery.dropdowns.search.first":"Альфа арнасы","codex.gallery.dropdowns.search.second":"Бета тармағы","codex.gallery.dropdowns.search.third":"Үміткерді босату","codex.gallery.dropdowns.search.trigger":"Элементтерді сүзгілеу","codex.gallery.dropdowns.submenu":"Қосалқы мәзірі бар төмен жайылмалы тізім","codex.gallery.dropdowns.submenu.optionA":"Альфа жобасы","codex.gallery.dropdowns.submenu.optionB":"Бета жобасы","codex.gallery.dropdowns.submenu.optionC":"Гамма жобасы","codex.gallery.dropdowns.submenu.primary":"Иесін тағайындау","codex.gallery.dropdowns.submenu.secondary":"Жылжыту орны","codex.gallery.dropdowns.submenu.tertiary":"Мұрағаттау","codex.gallery.dropdowns.submenu.trigger":"Әрекетті таңдаңыз","codex.gallery.dropdowns.title":"Төмен жайылатын тізім","codex.gallery.inbox.automations.close":"Жабу","codex.gallery.inbox.automations.popover.cardTitle":"Автоматтандыруларды басқару","codex.gallery.inbox.automations.popover.dialogTitle":"Автоматтандыруларды басқару","codex.header.settingsTooltip":"Параметрлер","codex.hunk.patch.error":"Индекстелмеді","codex.hunk.patch.missing":"Бұл үзінді үшін патч жасау мүмкін емес.","codex.hunk.patch.partialSuccess":"Ішінара индекстелді","codex.hunk.patch.revertError":"Индекстен шығарылмады","codex.hunk.patch.revertSuccess":"Индекстен шығарылды","codex.hunk.patch.success":"Индекстелді","codex.legal.autonomy.details":"Қосымша деректерді {link} ішінен қараңыз","codex.legal.autonomy.details.link":"Codex құжаттары","codex.legal.autonomy.title":"Қанша дербестік бергіңіз келетінін анықтаңыз","codex.legal.backButton":"Артқа","codex.legal.cloud.taskOne.meta":"openai/agi · 12 қаз","codex.legal.cloud.taskOne.title":"Жаңа дизайнерге репозиторийді түсіндіріңіз","codex.legal.cloud.taskThree.meta":"openai/codex · 8 қаз","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Күңгірт тақырып жасаңыз","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 қаз","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Тіркелу кезіндегі қатені түзетіңіз","codex.legal.continue.apikey":"Жалғастыру","codex.legal.continueButton":"Келесі","codex.legal.copilot.details":"Барлық үлгілік қоңыраулар, шот ұсыну және тарифтік шектеулер үшін Copilot жоспарыңызды пайдаланады. Codex кеңейтімін пайдалану {oaiTos} және {gitHubTos} реттеуіне жатады.","codex.legal.copilot.gitHubTosLink":"GitHub қызмет көрсету шарттары","codex.legal.copilot.oaiTosLink":"OpenAI Codex қызмет көрсету шарттары","codex.legal.copilot.title":"GitHub Copilot арқылы жасалған","codex.legal.mistakes.review":"Ол жазатын кодты және ол орындайтын пәрмендерді қараңыз","codex.legal.mistakes.title":"Codex қате жіберуі мүмкін","codex.legal.powered.details":"Жоспарыңыздың шектеулерін және {link}","codex.legal.powered.details.link":"оқыту деректерінің қалауларын пайдаланады","codex.legal.powered.title":"ChatGPT аккаунтыңызға негізделген","codex.legal.step.cloud.subtitle":"Тапсырмаларды Codex жүйесіне фондық режимде орындауға жіберіп, өз жұмысыңызға толық назар аударып, жылдам ілгерілей аласыз.","codex.legal.step.cloud.title":"Бұлттағы Codex жүйесіне тапсырыңыз","codex.legal.step.intro.subtitle":"Codex репозиторийңізді тікелей шарлап, өзгертулер енгізіп, пәрмендерді іске қосады және сынақтар орындайды. Ол ChatGPT аккаунтыңыздың мүмкіндіктеріне сүйеніп жұмыс істейді.","codex.legal.step.intro.title":"IDE ішіндегі Codex","codex.legal.step.todo.subtitle":"TODO пікірін жазып, оны бір рет басу арқылы Codex тапсырмасына айналдырыңыз.","codex.legal.step.todo.title":"TODO пікірлерін Codex тапсырмаларына айналдырыңыз","codex.legal.todo.heading":"// TODO: схеманы іске асыру","codex.localConversation.closeImagePreview":"Кескінді алдын ала қарау бетін жабу","codex.localConversation.userImageAttachment":"Пайдаланушы тіркемесі","codex.localTaskRow.archiveTask":"Тізбекті мұрағаттау","codex.localTaskRow.awaitingApproval":"Мақұлдауды күтуде","codex.localTaskRow.awaitingResponse":"Жауапты күтуде","codex.localTaskRow.confirmArchiveTask":"Растау","codex.loggedOut.apiKeyPrompt.cancel":"Бас тарту","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"API кілтін алу","codex.loggedOut.apiKeyPrompt.inputLabel":"OpenAI API кілтін енгізіңіз","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Бұлттық тапсырмалар API кілтімен өшірілген","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Бұлттық тапсырмалар Copilot және API кілтімен өшірілген","codex.loggedOut.signIn":"ChatGPT арқылы тіркелу","codex.loggedOut.signIn.cancel":"Кіруді болдырмау","codex.loggedOut.signInWithCopilot":"GitHub Copilot арқылы тіркелу","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API кілтін пайдалану","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} құралы","codex.mcpTool.collapsedLabel.verb.called":"Шақытылды","codex.mcpTool.collapsedLabel.verb.calling":"Қоңырау шалуда","codex.mcpTool.embeddedResource.contentLabel":"Контент","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME түрі","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Құрал ешқандай мазмұн қайтармады","codex.mcpTool.rawPayloadHeading":"Бастапқы {server}.{tool} құралын шақырудың пайдалы жүктемесі","codex.menu.recent":"Соңғы","codex.menu.seeAllHistory":"Барлық журналды көру","codex.modelCapacityBanner.headline.noReset":"{modelName} қазір максималды сыйымдылығына жетті. Әрекетті кейін қайталаңыз немесе басқа модельмен жаңа әңгіме бастаңыз.","codex.modelCapacityBanner.headline.withReset":"{modelName} қазір максималды сыйымдылығына жетті. {resetDate} өткен соң қайталаңыз немесе .басқа модельмен жаңа әңгіме бастаңыз.","codex.modelCapacityBanner.title":"Таңдалған модель сыйымдылығына жетті","codex.patch.change.contentsDeleted":"Мазмұны жойылды","codex.patch.change.created":"Жасалды","codex.patch.change.created-file":"Файл жасалды","codex.patch.change.creating":"Жасалуда","codex.patch.change.deleted":"Жойылды","codex.patch.change.deleted-file":"Файл жойылды","codex.patch.change.deleting":"Жойылуда","codex.patch.change.edited":"Өзгертілді","codex.patch.change.edited-file":"Өңделген файл","codex.patch.change.editing":"Өңдеуде","codex.patch.change.noChanges":"Өзгерістер жоқ","codex.patch.change.rejected-add":"Қабылданбады","codex.patch.change.rejected-delete":"Қабылданбады","codex.patch.change.rejected-edit":"Қабылданбады","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed}/{total} тапсырма орындалды","codex.plan.todoListCreated":"{total} тапсырмадан жасалған істер тізімі","codex.profileDropdown.apiKeyAuth":"API кілтімен кірілді","codex.profileDropdown.codexSettings":"Codex параметрлері","codex.profileDropdown.copilotAuth":"Copilot көмегімен кірілді","codex.profileDropdown.defaultAccountTitle":"Әдепкі аккаунт","codex.profileDropdown.enterBehavior":"Ұзын көмексөздер жіберу үшін: «{modifierSymbol} + enter »","codex.profileDropdown.enterBehaviorError":"Параметр жаңартылмады","codex.profileDropdown.getPlus":"Шектерді жоғарылату үшін жоспарды жаңартыңыз","codex.profileDropdown.keyboardShortcuts":"Пернетақта белгішелері","codex.profileDropdown.language":"Тіл","codex.profileDropdown.languageDefault":"Автоматты анықтау","codex.profileDropdown.languageSearchPlaceholder":"Тілдерді іздеу","codex.profileDropdown.languageUpdateError":"Тіл жаңартылмады","codex.profileDropdown.logOut":"Шығу","codex.profileDropdown.mcp":"MCP параметрлері","codex.profileDropdown.openConfigToml":"config.toml ашу","codex.profileDropdown.openConfigToml.wsl":"WSL ортасында config.toml ашу","codex.profileDropdown.openExtensionSettings":"Параметрлерді ашу","codex.profileDropdown.openMcpSettings":"MCP параметрлерін ашу","codex.profileDropdown.openOnStartup":"Іске қосқан кезде ашу","codex.profileDropdown.openOnStartupError":"Параметр жаңартылмады","codex.profileDropdown.openSkillsSettings":"Дағдылар параметрлерін ашу","codex.profileDropdown.personalAccountTitle":"Жеке аккаунт","codex.profileDropdown.queueFollowUps":"Кезекті қадағалау","codex.profileDropdown.queueFollowUpsError":"Параметр жаңартылмады","codex.profileDropdown.readDocs":"Құжаттарды оқу","codex.profileDropdown.readSkillsDocs":"Құжаттарды оқу","codex.profileDropdown.runInWsl":"WSL ішінде іске қосу","codex.profileDropdown.runInWslError":"Параметр жаңартылмады","codex.profileDropdown.runInWslTooltip":"WSL ішінде Codex қосады. Құмсалғыштың қауіпсіздігін жақсарту және өнімділікті арттыру үшін ұсынылады.","codex.profileDropdown.settings":"IDE параметрлері","codex.profileDropdown.settingsPage":"Параметрлер","codex.profileDropdown.signInWithOpenAI":"ChatGPT арқылы тіркелу","codex.profileDropdown.skills":"Дағдылар параметрлері","codex.profileDropdown.switchToCopilotAccount":"Copilot аккаунтын пайдалану","codex.profileDropdown.switchToOpenAIAccount":"OpenAI аккаунтын пайдалану","codex.profileDropdown.todoCodelens":"TODO пікірлерін түзету","codex.profileDropdown.todoCodelensError":"Параметр жаңартылмады","codex.profileDropdown.windowsDocumentation":"Windows құжаттары","codex.profileFooter.signedInFallback":"Параметрлер","codex.profileFooter.upgrade":"Жоспарды ауыстыру","codex.recentTasksMenu.clearSearch":"Іздеуді тазалау","codex.recentTasksMenu.cloud":"Бұлттық тапсырмалар","codex.recentTasksMenu.count":"{count, plural, =0 {Орындалып жатқан тапсырма жоқ} one {# тапсырма орындалуда} other {# тапсырма орындалуда}}","codex.recentTasksMenu.empty":"Әзірге тізбектер жоқ","codex.recentTasksMenu.errorCloud":"Тапсырмалар жүктелмеді.","codex.recentTasksMenu.errorCloud.inline":"Бұлттық тапсырмалар жүктелмеді.","codex.recentTasksMenu.filterAll":"Барлығы","codex.recentTasksMenu.filterCloudTasks":"Бұлттық тапсырмалар сүзгіден өткізілді","codex.recentTasksMenu.filterTooltip":"Тапсырмаларды ортаға қарай сүзгілеңіз","codex.recentTasksMenu.local":"Құрылғыдағы тапсырмалар","codex.recentTasksMenu.recent":"Барлық тапсырмалар","codex.recentTasksMenu.search":"Соңғы тапсырмаларды іздеу","codex.recentTasksMenu.searchEmpty":"Нәтиже жоқ","codex.recentTasksMenu.tooltip":"Тапсырмалар журналы","codex.recentTasksMenu.trigger":"Соңғы тапсырмалар. {count, plural, one {# орындалуда} other {# орындалуда}}","codex.remoteConversation.applyDiff.applyCta":"Өзгертулерді қолдану","codex.remoteConversation.applyDiff.dropdownTitle":"Өзгертулерді жергілікті тармаққа қолдану","codex.remoteConversation.applyDiff.revertCta":"Өзгертулерді қайтару","codex.remoteConversation.closeImagePreview":"Кескінді алдын ала қарау бетін жабу","codex.remoteConversation.codexCloudTask":"<u>Codex бұлттық</u> тапсырмасын көріп жатырсыз","codex.remoteConversation.errorWithMessage":"Қате: {message}","codex.remoteConversation.loadingImage":"Сурет жүктелуде","codex.remoteConversation.openInWeb":"Веб-сайтта ашу","codex.remoteConversation.streaming":"Жұмысты бастау","codex.remoteConversation.turnFailed":"Бұл тапсырманы орындау кезінде қате орын алды","codex.remoteConversation.turnTab.loading":"{number} әрекет","codex.remoteConversation.turnTab.title":"{number} әрекет","codex.remoteConversation.userImageAttachment":"Пайдаланушы тіркемесі","codex.remoteConversation.viewPreviousTurns":"Веб-сайтта ашу","codex.remoteConversation.viewPreviousTurns.buttonText":"Ашу","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Веб-сайтта ашу","codex.review.copyGitApplyCommand":"git apply пәрменін көшіру","codex.review.copyGitApplyCommand.toast":"git apply командасы алмасу буферіне көшірілді","codex.review.diffTooLarge.description":"Айырмашылық «Шолу» бетінде көрсетілуі үшін тым үлкен.","codex.review.diffTooLarge.title":"Айырмашылық көрсетілуі үшін тым үлкен.","codex.review.expandOrCollapseDiffButton.collapse":"Барлық айырмашылықтарды жию","codex.review.expandOrCollapseDiffButton.expand":"Барлық айырмашылықтарды жаю","codex.review.expandOrCollapseDiffMenu.collapse":"Барлық айырмашылықтарды жию","codex.review.expandOrCollapseDiffMenu.expand":"Барлық айырмашылықтарды жаю","codex.review.fileSearch.clear":"Сүзгі чипін тазалау","codex.review.fileSearch.empty":"Ағымдағы сүзгіге сәйкес келетін файлдар жоқ.","codex.review.fileSearch.label":"Файлдарды сүзу","codex.review.fileSearch.placeholder":"Файлдарды сүзу...","codex.review.filesChanged":"{num, plural, =0 {Ешқандай файлдар өзгертілмеді} one {# файл өзгертілді} other {# файл өзгертілді}}","codex.review.find.loadMore":"Басқа сәйкестікті жүктеу","codex.review.fullReview.hideFileTree":"Файл ағашын жасыру","codex.review.fullReview.showFileTree":"Файл ағашын көрсету","codex.review.header.moreOptions":"Шолу опциялары","codex.review.largeDiff.banner":"Айтарлықтай айырмашылық анықталды, файлдар бір-бірден көрсетілуде.","codex.review.loadFullFiles.disable":"Толық файлдарды жүктемеу","codex.review.loadFullFiles.enable":"Толық файлдарды жүктеу","codex.review.noDiff":"Файл өзгерістері осында пайда болады","codex.review.noDiff.gitInit.createRepository":"Git репозитрийін жасау","codex.review.noDiff.gitInit.creating":"Жасалуда…","codex.review.noDiff.gitInit.error":"Git іске қосылмады: {message}","codex.review.noDiff.gitInit.success":"Git репозиторийі жасалды","codex.review.noDiff.gitRepoRequired.description":"Осы жобада өзгертулерді қадағалау және болдырмау","codex.review.noDiff.gitRepoRequired.title":"Git репозитрийін жасау","codex.review.noDiff.orNoLongerAvailable":"немесе соңғы айырмашылықтар енді жоқ","codex.review.noDiff.reverted":"Соңғы бұрылыс кері қайтарылды","codex.review.noDiff.revertedOrCommitted":"Соңғы бұрылыс кері қайтарылды немесе жіберілді","codex.review.refreshGitQueries":"Жаңарту","codex.review.revert.file.error":"{path} қайтару мүмкін болмады","codex.review.revert.file.partialSuccess":"{path} ішінара қайтарылды","codex.review.revert.file.success":"{path} қайтарылды","codex.review.revert.hunk.error":"{path} ішіндегі {hunkNumber} үзінді қайтарылмады","codex.review.revert.hunk.partialSuccess":"{path} ішіндегі {hunkNumber} үзінді ішінара қайтарылды","codex.review.revert.hunk.success":"{path} ішіндегі {hunkNumber} үзінді қайтарылды","codex.review.revert.section.error":"Бөлім қайтарылмады","codex.review.revert.section.partialSuccess":"Бөлім ішінара қайтарылды","codex.review.revert.section.success":"Бөлім қайтарылды","codex.review.revertDialog.cancel":"Бас тарту","codex.review.revertDialog.confirm":"Растау","codex.review.revertDialog.message":"Бұл әрекет осы өзгертулердің барлығын жояды.","codex.review.revertDialog.skip":"Қайта сұрамау","codex.review.revertDialog.title":"Өзгертулерді қайтару керек пе?","codex.review.richPreview.disable":"Кеңейтілген алдын ала қарауды өшіру","codex.review.richPreview.enable":"Кеңейтілген алдын ала қарауды қосу","codex.review.source.cloud":"Бұлттағы өзгертулер","codex.review.source.local.all":"Барлық тармақ өзгерістері","codex.review.source.local.lastTurn":"Соңғы қадам өзгертулері","codex.review.source.local.uncommitted":"Жіберілмеген өзгертулер","codex.review.source.worktree":"Жіберілмеген жұмыс ағашының өзгерістері","codex.review.stageFilter.empty.staged.description":"Экранға орналастыру үшін өзгерістерді қабылдау","codex.review.stageFilter.empty.staged.title":"Кезеңдік өзгерістер жоқ","codex.review.stageFilter.empty.unstaged.description":"Код өзгерістері осында пайда болады","codex.review.stageFilter.empty.unstaged.title":"Индекстелмеген өзгерістер жоқ","codex.review.stageFilter.staged":"Индекстелген","codex.review.stageFilter.staged.count":"Индекстелген · {count}","codex.review.stageFilter.unstaged":"Индекстелмеген","codex.review.stageFilter.unstaged.count":"Индекстелмеген · {count}","codex.review.switchToSplit":"Бөлінген diff көрінісіне ауысу","codex.review.switchToUnified":"Біріктірілген дифференциалға ауысу","codex.review.toggleDiffView":"Diff көрінісін қосу/өшіру","codex.review.wordDiffs.disable":"Сөз айырм. өшіру","codex.review.wordDiffs.enable":"Сөз айырм. қосу","codex.review.wrap.disable":"Сөзді орауды өшіру","codex.review.wrap.enable":"Сөзді орауды қосу","codex.section.patch.missing":"Бұл бөлім үшін патч жасау мүмкін емес.","codex.shell.collapse":"Жасақтаманы жию","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Жасақтама мазмұны көшірілді","codex.shell.copy.copyTooltip":"Жасақтама мазмұнын көшіру","codex.shell.copyCommand":"Көшіру пәрмендері","codex.shell.copyOutput":"Шығысты көшіру","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Жасақтаманы жаю","codex.shell.name":"Shell","codex.shell.noOutput":"Нәтиже жоқ","codex.signInFailed.message":"Жүйеге кірілмеді: {rawMessage}","codex.stories.toast.show":"Тостты көрсету","codex.stories.tooltip.basic":"Бұл қалқымалы кеңес","codex.stories.tooltip.hoverMe":"Меңзерді маған бағытта","codex.stories.tooltip.largerOffset":"Бұл қалқымалы кеңес көбірек ығысқан","codex.stories.tooltip.offsetButton":"Көбірек ығысу","codex.stories.tooltip.shortcutButton":"Белгішемен","codex.stories.tooltip.withShortcut":"Терминалды ауыстыру","codex.taskRow.title":"Жаңа тізбек","codex.taskRowLayout.confirm":"Растау","codex.threadFindBar.chatFilter":"Чатты іздеу","codex.threadFindBar.close":"Нәтижені жабу","codex.threadFindBar.diffFilter":"Айырм. іздеу","codex.threadFindBar.label":"Тізбектен іздеу","codex.threadFindBar.nextResult":"Келесі нәтиже","codex.threadFindBar.noResults":"0 нәтиже","codex.threadFindBar.placeholder":"Тізбек іздеу…","codex.threadFindBar.placeholder.extension":"Тізбек іздеу…","codex.threadFindBar.placeholder.review":"Айырм. іздеу…","codex.threadFindBar.placeholder.review.extension":"Айырм. іздеу…","codex.threadFindBar.previousResult":"Алдыңғы нәтиже","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# файл өзгерді} other {# файл өзгертілді}}","codex.unifiedDiff.inlineLargeFile":"Қатарда көрсету үшін қатар тым үлкен","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Қайтару","codex.unifiedDiff.revertPatchError":"Өзгерістер қайтарылмады","codex.unifiedDiff.revertPatchSuccess":"Өзгерістер қайтарылды","codex.unifiedDiff.reviewChangesSuffix":"өзгерістер","codex.unifiedDiff.reviewShort":"Шолу","codex.unifiedDiff.viewDiffTooltip":"Шолу","codex.upsellBanner.business.headline":"Кіру рұқсатын кеңейту үшін әкімшіге сұрау жіберіңіз немесе {resetDate} дейін күтіңіз.","codex.upsellBanner.cbp.headline":"Кіру рұқсатын кеңейту үшін әкімшіге сұрау жіберіңіз.","codex.upsellBanner.cta.addCredits":"Кредиттер қосу","codex.upsellBanner.cta.upgradeAccount":"Жоспарды ауыстыру","codex.upsellBanner.cta.viewUsage":"Қолданысты көру","codex.upsellBanner.freeOrGo.headline":"Лимит шегі {resetDate} күні бастапқы күйге қайтарылады. Codex қолданбасын әрі қарай пайдалану үшін Plus жоспарына өтіңіз.","codex.upsellBanner.general.headline":"Лимитіңіз {resetDate} күні бастапқы күйге қайтарылады.","codex.upsellBanner.general.title":"Codex хабарларыңыз бітіп қалды","codex.upsellBanner.plus.headline":"Лимитіңіз {resetDate} күні бастапқы күйге қайтарылады. Codex қызметін әрі қарай пайдалану үшін, кредиттер қосыңыз немесе Pro жоспарына өтіңіз.","codex.upsellBanner.pro.headline":"Лимит шегі {resetDate} күні бастапқы күйге қайтарылады. Codex қолданбасын әрі қарай пайдалану үшін кредиттер қосыңыз.","codex.userMessage.autoResolveSync":"Қақтығыстарды автоматты шешу","codex.userMessage.commentCount":"{count, plural, one {# пікір} other {# пікір}}","codex.userMessage.copiedAriaLabel":"Көшірілді","codex.userMessage.copiedTooltip":"Көшірілді","codex.userMessage.copyAriaLabel":"Хабарды көшіру","codex.userMessage.copyTooltip":"Көшіру","codex.userMessage.implementPlan":"Жоспарды жүзеге асыру","codex.userMessage.noContent":"(Контент жоқ)","codex.userMessage.priorConversation":"Алдыңғы әңгімеге сілтеме жасайды","codex.userMessage.reviewMode":"Шолу режимі","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} үшін","codex.webSearch.summary.verb.completed":"Интернеттен іздеді","codex.webSearch.summary.verb.inProgress":"Интернеттен ізделуде","codex.windowsInstallWslBanner.dismiss":"Жабу","codex.windowsInstallWslBanner.installWslCta":"Құмсалғышты қосу","codex.windowsInstallWslBanner.learnMore":"Көбірек білу","codex.windowsSandboxBanner.content":"Файл жүйесін және желі рұсқатын шектеу үшін агент режимі Windos жүйесіндегі құмсалғыштың сынақ түріп пайдаланады. {sandboxLink}","codex.windowsSandboxBanner.title":"Агент режимі үшін құмсалғышты қосу","codex.windowsSubDropdown.windowsSandbox":"Windows құмсалғышы","codex.windowsSubDropdown.windowsSettings":"Windows параметрлері","codexUpgradeModal.body":"Енді Codex қызметіне біздің ең жаңа озық агенттік кодтау моделіміз GPT-5.2-Codex қолданылады. Бұл GPT-5.2 моделін одан әрі жетілдіре отырып, кодтау кезінде ол{link}.","codexUpgradeModal.close":"Жабу","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"әлдеқайда ақылды әрі жылдам","codexUpgradeModal.title":"Codex жаңартуы шықты","codexUpgradeModal.tryNewModel":"GPT-5.2-Codex пайдаланып көру","codexUpgradeModal.useExistingModel":"Ағымдағы модельмен жалғастыру","commentAttachments.numComments":"{count, plural, one {# пікір} other {# пікір}}","commentAttachments.removeAriaLabel":"Пікірлердің тіркемелерін жою","common.close":"Жабу","composer.addContext.openFilePickerError":"Файл таңдағышын ашу мүмкін емес","composer.addContextDropdown.ariaLabel":"Файлдарды және басқа деректерді қосу","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Файлдарды және басқа деректерді қосу","composer.addPhotosAndFiles":"Фотосуреттер мен файлдар қосу","composer.atMentionList.emptyQuery":"Файлдарды іздеу үшін мәтін теріңіз","composer.atMentionList.loading":"Ізделуде...","composer.atMentionList.noResults":"Нәтижелер жоқ","composer.attemptsSelector.option":"{count, plural, one {# нұсқа} other {# нұсқа}}","composer.attemptsSelector.tooltip":"Codex қатар орындай алатын әрекеттер саны","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Тоқтату","composer.cloudFollowUp.cloud":"Бұлт","composer.cloudFollowUp.local":"Құрылғыдағы","composer.cloudFollowUp.whereRun":"Бұл кейінгі бақылау қайда жүргізілуі керек?","composer.cloudTaskCreationError":"Бұлттық тапсырманы жасау қатесі","composer.cloudTaskError":"Тапсырманы жасау қатесі","composer.contextWindow.autoCompactionTooltipLine1":"Codex автоматты түрде контекстін шағын етеді","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Контексттік терезе:","composer.contextWindowUsageStatusFull":"{usage}% толы","composer.contextWindowUsageStatusLeft":"{usage}% пайдаланылды ({remaining}% қалды)","composer.contextWindowUsageTooltip":"{usedTokens} мың / {contextWindow} мың токен пайдаланылды","composer.customCliTooltip":"Командалық жолдың жеке орындалатын файлын пайдалану","composer.dictation.aria":"Айтып жаздыру","composer.dictation.cancel.aria":"Айтып жаздыруды тоқтату","composer.dictation.cancel.tooltip":"Айтып жаздыруды тоқтату","composer.dictation.startError":"Айтып жаздыруды бастау мүмкін емес","composer.dictation.submit.aria":"Транскрипциялау және жіберу","composer.dictation.submit.tooltip":"Транскрипциялау және жіберу","composer.dictation.tooltip":"Айтып жаздыру үшін сүйреу","composer.dictation.transcribeError":"Аудионы транскрипциялау мүмкін емес","composer.dictation.unsupported":"Бұл құрылғыда айтып жаздыру қолжетімді емес","composer.dropOverlay.holdShift":"Тастау үшін {key} түймесін басып түріңіз","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Жаңасын жасау","composer.environmentSelector.error":"Ортаны жүктеу қатесі","composer.environmentSelector.goBack":"Редакторға қайту","composer.environmentSelector.title":"Ортаны таңдау","composer.environmentSelector.tooltip":"Бұлттық ортаны таңдаңыз","composer.feedbackSlashCommand.title":"Пікір","composer.filePicker.selectFile":"Файл таңдау","composer.filePicker.selectFiles":"Файлдарды таңдаңыз","composer.followerTooltip":"Жалғастыру үшін, талқылау басталған терезеге оралыңыз.","composer.footer.branchSwitch.checkoutError":"Тармақ ауыспады: {message}","composer.footer.branchSwitch.createAndCheckout":"Жаңа тармақ жасау және тіркеу…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Жаңа тармақ жасау және тіркеу үшін өзгерістерді жіберіңіз","composer.footer.branchSwitch.createBranchError":"Тармақ жасалмады: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Тармақ атауы","composer.footer.branchSwitch.createDialog.branchExistsError":"Тармақ бұрыннан бар","composer.footer.branchSwitch.createDialog.close":"Жабу","composer.footer.branchSwitch.createDialog.createAndCheckout":"Жасау және тіркеу","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Тармақ жасау және тіркеу","composer.footer.branchSwitch.createDialog.trailingSlashError":"Тармақ атауы «/» таңбасымен аяқталмауы тиіс","composer.footer.branchSwitch.tooltip":"Тармақты ауыстыру","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{fileCount, plural, one {# файл} other {# файл}} бойынша өзгерістерді тіркеп, {branchName} тармағына өту.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Тапсыру","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, one {# файл} other {# файл}} ішіндегі өзгерістер ({branchName} тармағына өту үшін).","composer.footer.branchSwitch.uncommittedDialog.cancel":"Бас тарту","composer.footer.branchSwitch.uncommittedDialog.commit":"Өзгерістерді тіркеу және тармақты ауыстыру…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Төмендегі файлдардағы өзгерістер өту кезінде қайта жазылады:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Жалғастыру үшін өзгерістерді тіркеңіз","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"таңдалған тармақ","composer.footer.branchSwitch.uncommittedDialog.title":"Тармақты ауыстыру үшін өзгерістерді тіркеу","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Жіберілмеген: {fileCount, plural, one {# файл} other {# файл}}","composer.forkSlashCommand.description":"Жергілікті репозиторийде немесе жаңа жұмыс ағашында осы тізбектің тармақтарын жасаңыз","composer.forkSlashCommand.option.local.description":"Жаңа жергілікті тізбекте жалғастыру","composer.forkSlashCommand.option.local.title":"Жергілікті тармақтау","composer.forkSlashCommand.option.worktree.description":"Жаңа жұмыс ағашында жалғастыру","composer.forkSlashCommand.option.worktree.title":"Жаңа жұмыс ағашына тармақтау","composer.forkSlashCommand.title":"Ажырату","composer.imageInputsUnsupported":"Модель кескін шығысына қолдау көрсетпейді. Басқа модельді көріңіз.","composer.imageUploadFailed":"Сурет жүктеп салынбады","composer.includeIdeContextDropdown":"IDE контекстін қамту","composer.includeIdeContextDropdown.ariaLabel":"IDE контекстін қамту","composer.localCwdDropdown.addWorkspaceRoot":"Жаңа жоба қосу","composer.localCwdDropdown.noActiveRoot":"Рөліңізді таңдаңыз","composer.localCwdDropdown.noResults":"Қалталар табылмады","composer.localCwdDropdown.title":"Өніміңізді таңдаңыз","composer.localTaskError":"Әңгімені бастау қатесі","composer.mcpSlashCommand.description":"MCP сервер күйін көру","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Аутентфикацияланбаған","composer.mcpStatus.authOauth":"Аутентификацияланған (OAuth)","composer.mcpStatus.authToken":"Аутентификацияланған (API кілті)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Жабу","composer.mcpStatus.disabled":"Өшірілді","composer.mcpStatus.emptyLabel":"Серверлер:","composer.mcpStatus.emptyValue":"Ешқандай MCP серверлері конфигурацияланбады","composer.mcpStatus.enabled":"Қосылды","composer.mcpStatus.errorLabel":"Күй:","composer.mcpStatus.errorValue":"MCP күйін жүктеу мүмкін емес","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Режимді ауыстыру","composer.mode.agentMode.custom":"Арнаулы","composer.mode.agentMode.custom.dropdownLabel":"Арнаулы","composer.mode.agentMode.custom.option":"Арнаулы (config.toml)","composer.mode.agentMode.custom.optionLabel":"Арнаулы (config.toml)","composer.mode.agentMode.customInfo.cancel":"Бас тарту","composer.mode.agentMode.customInfo.cli":"Бұл параметрлерді CLI арқылы немесе файлды тікелей өңдеу арқылы өзгерте аласыз.","composer.mode.agentMode.customInfo.confirm":"Арнаулы режимді пайдалану","composer.mode.agentMode.customInfo.description":"Арнаулы режим <link>config.toml</link> file файлында анықталған растау және құмсалғыш.","composer.mode.agentMode.customInfo.docs":"Рұқсатты растау және құмсалғыш саясаттар туралы <link>іске қосу ортасы туралы құжаттан</link> қараңыз.","composer.mode.agentMode.customInfo.refresh":"Кез келген өзгерістер агент келесі іске қосылған кезде күшіне енеді.","composer.mode.agentMode.customInfo.title":"Арнаулы режим қалай жұмыс істейді","composer.mode.agentMode.fullAccess":"Агент (толық пайдалану рұқсаты)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (толық пайдалану рұқсаты)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (толық пайдалану рұқсаты)","composer.mode.agentMode.fullAccessConfirm.caution":"Толық пайдалану рұқсатын қосқанда абай болыңыз. Бұл деректердің жоғалу, таралу немесе күтпеген әрекет ету қаупін айтарлықтай арттырады.","composer.mode.agentMode.fullAccessConfirm.confirm":"Иә, бәрібір жалғастыру","composer.mode.agentMode.fullAccessConfirm.description":"Codex толық пайдалану рұқсатымен жұмыс істеген кезде, ол сіздің мақұлдауыңызсыз компьютердегі кез келген файлды өңдей алады және желі арқылы пәрмендерді орындауға мүмкіндік алады.","composer.mode.agentMode.fullAccessConfirm.goBack":"Бас тарту","composer.mode.agentMode.fullAccessConfirm.title":"Толық пайдалану рұқсатын беру керек пе?","composer.mode.agentMode.readOnly":"Чат","composer.mode.agentMode.readOnly.dropdownLabel":"Чат","composer.mode.agentMode.readOnly.optionLabel":"Чат","composer.mode.agentMode.tooltip":"Режимді ауыстыру","composer.mode.agentMode.tooltip.auto":"Файлдарды оқып, өңдеңіз және пәрмендерді орындаңыз.","composer.mode.agentMode.tooltip.custom":"config.toml ішінде анықталған соңғы мақұлдау және оқшауланған бағдарламалық орта саясатын қолданыңыз.","composer.mode.agentMode.tooltip.fullAccess":"Codex жобадан тыс файлдарды өңдей алады және желіні пайдалану рұқсаты бар пәрмендерді іске қоса алады. Сақтықпен қолданыңыз.","composer.mode.agentMode.tooltip.readOnly":"Файлдарды өңдеуге және пәрмендерді орындауға рұқсат қажет етеді.","composer.mode.cloud.tooltip":"Бұлттық ортада жұмыс істеу","composer.mode.contactAdmin":"Пайдалану рұқсатының ауқымын кеңейту үшін әкімшіңізге хабарласыңыз","composer.mode.local":"Құрылғыдағы","composer.mode.local.learnMore":"Көбірек білу","composer.mode.local.model.custom":"Арнаулы","composer.mode.local.model.loadingModel":"Модель жүктелуде","composer.mode.local.model.selecrReasoningEffort":"Пайымды таңдау","composer.mode.local.model.selectModel":"Модельді таңдаңыз","composer.mode.local.model.tooltip":"Модельді таңдаңыз","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Жоғары","composer.mode.local.reasoning.low.label":"Төмен","composer.mode.local.reasoning.medium.label":"Орташа","composer.mode.local.reasoning.minimal.label":"Минималды","composer.mode.local.reasoning.none.label":"Ешқайсысы","composer.mode.local.reasoning.xhigh.label":"Аса жоғары","composer.mode.localRemoteWhereRun":"Тапсырманы қайда орындау керектігін таңдаңыз","composer.mode.newTask.header":"Мынада жалғастыру:","composer.mode.rateLimit.day":"{days} күн","composer.mode.rateLimit.heading":"Қалған жылдамдық шектері","composer.mode.rateLimit.hour":"{hours} сағ","composer.mode.rateLimit.minute":"{minutes} мин","composer.mode.rateLimit.modelSectionLabel":"{modelName} шектеу:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {апталық шектеу} other {{weeks} апталық шектеу}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Апта сайын} other {{weeks} апта}}","composer.mode.remote.connectToCloud":"Codex веб-сайтын қосу","composer.mode.remote.connectToCloudDisabledTooltip":"Тапсырмаларды бұлтқа жіберуге мүмкіндік беру үшін ортаны Codex веб-сайты арқылы орнатыңыз","composer.mode.remote.selectEnvironment":"Ортаны таңдау","composer.mode.remote.sendToCloud":"Бұлтқа жіберу","composer.mode.remote.setupViaWeb":"Codex веб-сайты арқылы ортаны орнату","composer.mode.runInCloud":"Бұлт","composer.mode.runInCloudWithEnvironment":"Бұлт · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Бұлттық ортада жұмыс істеу","composer.mode.segmentedToggle.local.tooltip":"Жергілікті жобада жұмыс істеу","composer.mode.segmentedToggle.worktree.tooltip":"Параллель жұмыс ортада жұмыс істеу","composer.mode.upgradeToPlus":"Plus-ке өту","composer.mode.upgradeToPro":"Pro жоспарына ауысу","composer.mode.workLocally":"Жергілікті жоба","composer.mode.workLocally.currentBranchFallback":"сіздің тармағыңыз","composer.mode.workLocally.tooltip":"{branchName} бойынша жұмыс істеу","composer.mode.worktree":"Жаңа жұмыс бұтағы","composer.mode.worktree.submoduleWarning":"Бұл репозиторийде қосалқы модульдер бар. Жұмыс ағашы жасалмауы мүмкін","composer.mode.worktree.tooltip":"Қатар жұмыс істеу үшін жергілікті жобаңыздың көшірмесін жасау","composer.mode.worktreeSegment":"Жұмыс ағашы","composer.modelChangeDuringConversationWarning.toast":"Әңгімелесу кезінде үлгіні ауыстыру өнімділіктің нашарлауына әкеледі.","composer.newChat.heading.browser":"Келесіде нені кодтауымыз керек?","composer.permissionsDropdown.custom.label":"Арнаулы (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Арнаулы (config.toml)","composer.permissionsDropdown.default.label":"Әдепкі рұқсаттар","composer.permissionsDropdown.default.optionLabel":"Әдепкі рұқсаттар","composer.permissionsDropdown.fullAccess.disabled":"Толық рұқсатты requirements.toml өшірді","composer.permissionsDropdown.trigger.tooltip":"Рұқсаттарды өзгерту","composer.personalitySlashCommand.description.friendly":"Жылы шырайлы, мейірімді және көмектесуге дайын","composer.personalitySlashCommand.description.pragmatic":"Қысқа, тапсырмаға зейін салған әрі тік","composer.personalitySlashCommand.label.friendly":"Жылы шырайлы","composer.personalitySlashCommand.label.pragmatic":"Прагматикалық","composer.personalitySlashCommand.notApplicableSuffix":"(Ағымдағы модельге қолданылмайды)","composer.personalitySlashCommand.title":"Даралық","composer.placeholder.cloudFollowUp.directFollowUp":"Осы бұлттық тапсырманың жалғасы","composer.placeholder.cloudFollowUp.local":"Осы бұлттық тапсырмаға сілтеме жасайтын жаңа жергілікті тапсырма жасаңыз","composer.placeholder.cloudFollowUp.workingTree":"Ағымдағы кодыңызды қамтитын және осы тапсырмаға сілтеме жасайтын жаңа бұлттық тапсырма жасаңыз","composer.placeholder.localFollowUp.cloud":"Жаңа бұлттық тапсырмада жалғастыру","composer.placeholder.localFollowUp.locally":"Қосымша өзгертулер сұрау","composer.placeholder.newTask.cloud":"Codex-тен бұлтта кез келген нәрсені орындауды сұраңыз","composer.placeholder.newTask.doAnything":"Codex-тен кез келген нәрсені орындауды сұраңыз","composer.placeholder.newTask.locally":"Codex-тен қалағаныңызды сұраңыз: файлдар қосу үшін «@», пәрмендер үшін «/»","composer.planModeDropdown":"Жоспарлау режимі","composer.planModeDropdown.ariaLabel":"Жоспарлау режимі","composer.planModeIndicator":"Жоспар","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Жоспарлау режимін өшіру","composer.planSlashCommand.enableDescription":"Жоспарлау режимін қосу","composer.planSlashCommand.title":"Жоспарлау режимі","composer.priorContext.label":"Алдыңғы контекст","composer.priorContext.removeAriaLabel":"Алдыңғы контексті алып тастау","composer.queuedMessage.delete":"Кезектегі хабарды жою","composer.queuedMessage.edit":"Хабарды өзгерту","composer.queuedMessage.more":"Кезектегі хабар әрекеттері","composer.queuedMessage.sendNow":"Жіберу","composer.queuedMessage.turnOff":"Кезекке қоюды өшіру","composer.reasoningEffort.local.reasoning.tooltip":"Пайым деңгейін таңдау","composer.remote.branchStartingPoint":"Бұл тапсырма қандай тармақтан басталуы керек?","composer.remote.branchesSectionHeading":"Тармақтар","composer.remote.currentEditsSuffix.followUp":"Бұлтты тапсырмаға сілтеме жасайтын жаңа тапсырма жасаңыз.","composer.remote.currentEditsSuffix.useLocal":"жергілікті кодтағы өзгерістерімен","composer.remote.directFollowUp":"Жергілікті өзгерістерді пайдаланбаңыз","composer.remote.errorLoadingBranches":"Тармақтарды жүктеу кезінде қате шықты","composer.remote.fromBranch":"{branch} бастап","composer.remote.fromCurrentBranch":"{branch} тармағынан (ағымдағы)","composer.remote.loadingMoreBranches":"Жүктелуде...","composer.remote.localFileStateHeading":"Құрылғыдағы файл күйі.","composer.remote.localWorkingTree":"Жергілікті өзгерістерді пайдалану","composer.remote.startingPoint":"Бұл тапсырма қандай кодтан басталуы керек?","composer.reviewMode.branches.error":"Филиалдарды жүктеу мүмкін емес","composer.reviewMode.branches.retry":"Қайталау","composer.reviewMode.gitRoot.error":"Git түбірі табылмады","composer.reviewMode.option.baseBranch.simple":"Негізгі филиал бойынша тексеру","composer.reviewMode.option.unstaged.simple":"Бекітілмеген өзгерістерді қарау","composer.reviewMode.quickReviewError":"Кодты шолуды бастау сәтсіз болды.","composer.reviewMode.title":"Кодты тексеріп шығу","composer.sandboxButton.unlock.disabled.tooltip":"Толық рұқсатты requirements.toml өшірді","composer.sandboxButton.windowsSandboxDialog.content":"Файл жүйесін және желі рұсқатын шектеу үшін Codex Windos жүйесіндегі құмсалғыштың сынақ түрін пайдаланады. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows құмсалғышын қосу керек пе?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Тек оқуды пайдалану","composer.searchEnvironments":"Ортаны іздеу","composer.skillMentionList.app":"Қолданба","composer.skillMentionList.loading":"Дағдылар жүктелуде...","composer.skillMentionList.noResults":"Дағдылар табылмады","composer.slashCommands.cloudEnvironment.title":"Бұлттық орта","composer.slashCommands.dialogLabel":"Слэш пәрмендері мәзірі","composer.slashCommands.dialogTitle":"Слэш пәрмендері","composer.slashCommands.disabledTooltip":"Слэш пәрмендерді пайдалану үшін жаңа әңгімені бастаңыз","composer.slashCommands.inputPlaceholder":"Іздеу","composer.slashCommands.noResults":"Пәрмендер жоқ","composer.slashCommands.skillsGroup":"Дағдылар","composer.slashCommands.tooltip":"Слэш пәрмендерін шолу","composer.status.close":"Жабу","composer.statusPlain.alertLabel":"Ескерту:","composer.statusPlain.alertValue":"{window} бойынша {remaining}% қалды","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count} мың","composer.statusPlain.contextValueMetadata":"({used} пайдаланылды / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% қалды","composer.statusPlain.heading":"Күй","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} шектеу:","composer.statusPlain.rateLimitDays":"Лимит {count} күн","composer.statusPlain.rateLimitFallbackLabel":"Жылдамдық лимиті:","composer.statusPlain.rateLimitHours":"Лимит {count} сағат","composer.statusPlain.rateLimitLabelBase":"Жылдамдық лимиті","composer.statusPlain.rateLimitMinutes":"Лимит {count} минут","composer.statusPlain.rateLimitPercent":"{remaining}% қалды","composer.statusPlain.rateLimitReset":"{time} қалпына келтіріледі","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"уақытты қалпына келтіру қолжетімсіз","composer.statusPlain.rateLimitUnavailable":"Қолжетімсіз","composer.statusPlain.sessionCopiedAriaLabel":"Сеанс идентификаторы көшірілді","composer.statusPlain.sessionCopiedTooltip":"Идентификатор көшірілді","composer.statusPlain.sessionCopyAriaLabel":"Сеанс идентификаторын көшіру","composer.statusPlain.sessionCopyTooltip":"Идентификаторды көшіру","composer.statusPlain.sessionLabel":"Сеанс:","composer.statusSlashCommand.description":"Тізбек идентификаторын, контекст қолданысын және тарифтік шектеулерді көрсету","composer.statusSlashCommand.title":"Күй","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Хабар жіберу мүмкін емес","composer.submit.emptyMessage":"Бастау үшін хабарды енгізіңіз","composer.submit.imageInputsUnsupported":"Бұл хабарламаны жіберу үшін кескіндерді өшіріңіз немесе үлгіні өзгертіңіз.","composer.submit.loadingLocalConfig":"Жүктелуде...","composer.submit.missingCloudConfig":"Бұлт ортасын таңдауыңыз керек","composer.submit.missingCloudTurn":"Бұл тапсырманы орындау мүмкін емес","composer.submit.noWorkspace":"Codex қызметін пайдалану үшін жоба қосыңыз","composer.submit.waitForImageUploads":"Суреттер жүктеп салынуда…","composer.submitButtonTooltip.send":"Жіберу","composer.submitButtonTooltip.stop":"Тоқтату","composer.worktreeEnvironment.create":"Жергілікті ортаны жасау","composer.worktreeEnvironment.default":"Әдепкі орта","composer.worktreeEnvironment.error":"Ортаны жүктеу қатесі","composer.worktreeEnvironment.loading":"Орта жүктелуде…","composer.worktreeEnvironment.title":"Жергілікті орта","composer.worktreeEnvironment.tooltip":"Жергілікті орта файлын таңдаңыз","composer.worktreeSetupFailed":"Жұмыс ағашы орнатылмады. Орнату скриптін «.codex/environments» арқылы тексеріңіз.","compoundButton.secondaryAction":"Қосымша әрекет","copyButton.copied":"Көшірілді","copyButton.copiedAriaLabel":"Көшірілді","copyButton.copy":"Көшіру","copyButton.copyAriaLabel":"Көшіру","copyButton.copyCode":"Кодты көшіру","diff.actionButton.revertFile":"Файлды қайтару","diff.actionButton.revertHunk":"Қайтару","diff.actionButton.revertSection":"Барлығын қайтару","diff.actionButton.revertSectionLabel":"Барлығын қайтару","diff.actionButton.stageFile":"Файлды индекстеу","diff.actionButton.stageHunk":"Индекстеу","diff.actionButton.stageSection":"Барлығын индексстеу","diff.actionButton.stageSectionLabel":"Барлығын индексстеу","diff.actionButton.unstageFile":"Файлды индекстен шығару","diff.actionButton.unstageHunk":"Индекстемеу","diff.actionButton.unstageSection":"Барлығын индекстен шығару","diff.actionButton.unstageSectionLabel":"Барлығын индекстен шығару","diff.fileHeader.toggle":"Файл айыр. қосу/өшіру","electron.onboarding.login.apikey.cancel":"Бас тарту","electron.onboarding.login.apikey.continue":"Жалғастыру","electron.onboarding.login.apikey.label":"OpenAI API кілті","electron.onboarding.login.apikey.open":"API кілтін енгізу","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Кіруді болдырмау","electron.onboarding.login.chatgpt.continue":"ChatGPT арқылы жалғастыру","electron.onboarding.login.devbox":"Қашықтағы SSH-қа қосылу","electron.onboarding.login.error":"Жүйеге кірілмеді: {rawMessage}","electron.onboarding.login.snake.start":"Жылан ойнау","electron.onboarding.login.sshConfig.cancel":"Бас тарту","electron.onboarding.login.sshConfig.continue":"Жалғастыру","electron.onboarding.login.sshConfig.hostnameLabel":"SSH хост атауы","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Агенттермен жасаудың ең үздік жолы","electron.onboarding.login.title":"Codex модалына қош келдіңіз","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Жалғастыру","electron.onboarding.welcome.doubleLimits.description":"Codex қолданбасын іске қосу құрметіне 2 сәуірге дейін 2 есе сұрау лимиті бар.","electron.onboarding.welcome.freego.description":"2 наурызға дейін Codex жоспарыңызға тегін енгізілді – бірге құруды бастайық.","electron.onboarding.welcome.new.title.anon":"Қош келдіңіз!","electron.onboarding.workspace.continue":"Жалғастыру","electron.onboarding.workspace.empty":"Жалғастыру үшін жоба қосыңыз.","electron.onboarding.workspace.listLabel":"Бар жобалар","electron.onboarding.workspace.loading":"Жобалар жүктелуде","electron.onboarding.workspace.openFolder":"Жоба қосу","electron.onboarding.workspace.selectAll":"Барлығын таңдау","electron.onboarding.workspace.skip":"Өткізіп жіберу","electron.onboarding.workspace.skip.error":"Жаңа жоба жасалмады: {message}","electron.onboarding.workspace.skip.error.unknown":"Белгісіз қате","electron.onboarding.workspace.skipping":"Жаңа жоба жасалуда…","electron.onboarding.workspace.subtitle":"Codex таңдалған қалталарда файлдарды өңдеп, пәрмендерді іске қоса алады.","electron.onboarding.workspace.title":"Бір жобаны таңдау","errorPage.list.checkSettings":"IDE параметрлерін жаңартып көріңіз","errorPage.list.configToml":"config.toml ішінде жарамсыз параметрлер бар-жоғын тексеріңіз","errorPage.list.downloadExtension":"Кеңейтімнің басқа нұсқасын жүктеп көріңіз","errorPage.list.runInWsl":"Егер үйлесімділік мәселелері байқалса, WSL ішінде іске қосуды өшіру үшін параметрлеріңізді тексеріңіз","execApprovalRequest.menu.runAlways":"Иә және осы сеанста қайтадан сұрамау","execApprovalRequest.menu.runAlwaysWithAmendment":"Иә және {command} деп басталатын пәрмендер үшін қайта сұрамау","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Иә және келесідей басталатын пәрмендер үшін қайта сұрамау","execApprovalRequest.menu.runOnce":"Иә","execApprovalRequest.prompt":"Осы пәрменді іске қосқыңыз келмей ме?","execApprovalRequest.reject":"Жоқ","execFooter.exitCode":"Кодтан шығу {code}","execFooter.exitCode.unknown":"белгісіз","execFooter.success":"Сәттілік","feedback.dialog.category.badResult":"Нашар нәтиже","feedback.dialog.category.bug":"Қате","feedback.dialog.category.goodResult":"Жақсы нәтиже","feedback.dialog.category.other":"Басқа","feedback.dialog.descriptionPlaceholder":"Мәселені мұнда сипаттап беріңіз","feedback.dialog.dismiss":"Жабу","feedback.dialog.includeLogsLabel":"Ағымдағы Codex сеанс журналдарын қосу","feedback.dialog.submit":"Жіберу","feedback.dialog.submitError":"Біз сіздің пікіріңізді жібере алмадық. Біраз уақыттан кейін әрекетті қайталаңыз.","feedback.dialog.title":"Пікір","feedback.dialog.uploadedMessage.existingIssue":"бар ашық мәселе","feedback.dialog.uploadedMessage.openIssue":"GitHub мәселесін ашу","feedback.dialog.uploadedMessage.withThread":"Пікір жүктеп салынды. Егер мәселе шешілмесе, {openIssueLink} немесе {existingIssueLink} тізбек идентификаторын атап өтіңіз:","feedback.dialog.uploadedTitle":"Пікір жүктеп салынды","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} алып тастау","header.back":"Артқа","header.recentChats":"Тапсырмалар","header.recentTasks.seeAll":"Барлығын көру ({total})","home.header.getPlus":"Plus алу","home.hero.letsBuild":"Бірге жасайық","homePage.mainContent":"Негізгі контент","imageAttachment.defaultName":"cурет","imageAttachment.preview.close":"Кескінді алдын ала қарау бетін жабу","imageAttachment.removeAriaLabel":"{filename} алып тастау","implementPlanRequest.option.implement":"Иә, жоспарды жүзеге асыру","implementPlanRequest.prompt":"Осы жоспарды жүзеге асыру керек пе?","inbox.archived.deleteError":"Мұрағатталған іске қосуды жою мүмкін болмады","inbox.archived.deleteRun":"Мұрағатталған іске қосуды жою","inbox.archived.deleteSuccess":"Мұрағатталған тізбек жойылды. <settingsLink>Мұрағатталған тізбектерден</settingsLink> көріңіз.","inbox.archived.inlineLabel.auto":"Бұл тізбек автоматты түрде мұрағатталды. <learnMoreLink>Көбірек білу</learnMoreLink>","inbox.archived.inlineLabel.manual":"Бұл тізбек мұрағатталды.","inbox.archived.noMessageFound":"Хабар табылмады","inbox.automations.createError":"Автоматтандыру құрылмады","inbox.automations.deleteConfirm.cancel":"Бас тарту","inbox.automations.deleteConfirm.confirm":"Автоматтандыруды жою","inbox.automations.deleteConfirm.description":"Бұл әрекет автоматтандыруды біржола өшіреді және болашақ іске қосуларды тоқтатады.","inbox.automations.deleteConfirm.title":"{name} жою керек пе?","inbox.automations.deleteError":"Автоматтандыруды өшіру мүмкін болмады","inbox.automations.editTooltip":"Автоматтандыруды өзгерту","inbox.automations.inProgress":"Орындалуда","inbox.automations.new":"Жаңа","inbox.automations.newToolbar":"Жаңа автоматтандыру","inbox.automations.pauseTooltip":"Автоматтандыруды кідірту","inbox.automations.resumeTooltip":"Атоматтандыруды жалғастыру","inbox.automations.startingNow":"Қазір бастауда","inbox.automations.startsIn":"Басталуы: {startTime}","inbox.automations.status.active":"Белсенді","inbox.automations.status.paused":"Кідіртілді","inbox.automations.status.runs":"{count} рет іске қосылды","inbox.automations.status.started":"Басталуы {date}","inbox.automations.updateError":"Автоматтандыру жаңартылмады","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Барлығы","inbox.filter.ariaLabel":"Кіріс қалта элементтерін сүзгілеу","inbox.filter.unread":"Оқылмаған","inbox.list.archived":"Мұрағатталды","inbox.list.inProgress":"Орындалуда","inbox.list.recent":"Аяқталды","inbox.list.upNext":"Жоспарға енгізілді","inbox.mode.automations":"Автоматтандыру","inbox.mode.automations.beta":"Бета","inbox.noDescription":"Сипаттама берілмеді","inbox.openThread":"Тізбекті ашу","inbox.rightPanel.emptySubtitle":"Жоспарланған тапсырмаларды орнату арқылы жұмысты автоматтандырыңыз","inbox.rightPanel.emptySubtitle.learnMore":"Жоспарланған тізбектерді орнату арқылы жұмысты автоматтандырыңыз. <link>Көбірек білу</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# белсенді автоматтандыру} other {# белсенді автоматтандыру}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Оқылмаған автоматтандыру жоқ","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# оқылмаған автоматтандыру} other {# оқылмаған автоматтандыру}}","inbox.rightPanel.emptyTitle":"Элементтер таңдалмады","inbox.rightPanel.noThread":"Осы элемент үшін тізбек жоқ","inbox.rightPanel.quickStart.header":"Шаблонмен бастау","inbox.untitled":"Кіріс қалтасының тақырыпсыз элементі","loadingPage.documentationLink":"тек жақсарады","loadingPage.errorDescription":"Codex келесі қатемен жабылды:","loadingPage.errorDescription.documentation":"Codex кеңейтімін қайта іске қосу үшін «Қайта жүктеу» түймесін басыңыз немесе қосымша көмек алу үшін біздің{documentationLink} бөліміне өтіңіз.","loadingPage.errorSignal":"Мына әрекеттерді қолданып көріңіз:","loadingPage.errorTitle":"Қате шықты","loadingPage.openConfigToml":"config.toml ашу","loadingPage.reload":"Қайта жүктеу","localConversation.contextCompacted":"Контекст автоматты түрде ықшамдалды","localConversation.contextCompacting":"Контекст автоматты түрде ықшамдалуда","localConversation.forkedFromConversation":"{threadTitle} тізбегінен тармақталған","localConversation.merge.autoResolve.failed":"Автоматты шешу сұралмады: {error}","localConversation.merge.autoResolve.sent":"Автоматты шешу сұрауы жіберілді","localConversation.merge.autoResolveMerge.missingConversation":"Белсенді талқылаусыз автоматты шешу мүмкін емес.","localConversation.merge.autoResolveMerge.request":"Бірігу қақтығыстарын автоматты түрде шешу","localConversation.modelChanged":"{fromModel} моделінен {toModel} моделіне өзгертілді.","localConversation.modelChanged.warning.line1":"Әңгімелесу кезінде үлгіні ауыстыру өнімділіктің нашарлауына әкеледі.","localConversation.modelChanged.warning.line2":"Контекст автоматты түрде ықшамдалуы мүмкін.","localConversation.moveThread.createBranch.label":"Тармақ жасау","localConversation.moveToLocal.disabled.loading":"Жүктелуде...","localConversation.moveToLocal.modal.continue":"Жалғастыру","localConversation.moveToLocal.modal.destinationLabel":"Жылжыту орны","localConversation.moveToLocal.modal.retry":"Қайталау","localConversation.moveToWorktree.modal.back":"Артқа","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Тармақ бұрыннан бар","localConversation.moveToWorktree.modal.branchesError":"Филиалдарды жүктеу мүмкін емес","localConversation.moveToWorktree.modal.branchesLoading":"Тармақтар жүктелуде…","localConversation.moveToWorktree.modal.branchesRetry":"Қайталау","localConversation.moveToWorktree.modal.continue":"Жалғастыру","localConversation.moveToWorktree.modal.retry":"Қайталау","localConversation.moveToWorktree.modal.trailingSlashError":"Тармақ атауы «/» таңбасымен аяқталмауы тиіс","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"{personality} даралығына ауыстырылды","localConversation.planSummary.collapse":"Жоспардың қысқаша мазмұнын жию","localConversation.planSummary.collapseTooltip":"Жию","localConversation.planSummary.download":"Жоспарды жүктеп алу","localConversation.planSummary.expand":"Жоспардың қысқаша мазмұнын жаю","localConversation.planSummary.expandTooltip":"Жаю","localConversation.planSummary.openInNewWindow":"Ашу","localConversation.planSummary.openInNewWindow.tooltip":"Жаңа терезеде ашу","localConversation.planSummary.title":"Жоспар","localConversation.planSummary.titleWriting":"Жазу жоспары","localConversation.planSummary.viewPlan":"Жоспарды жаю","localConversation.remoteTaskCreated":"Codex Cloud ішінде {taskLink} жасалды","localConversation.remoteTaskCreated.task":"тапсырма","localConversation.scrollToBottomButton":"Төменге айналдыру","localConversation.sync.buttonLabel":"Жергіліктіге табыстау","localConversation.sync.buttonLabel.tooltip":"Өзгерістерді осы жұмыс ағашы мен жергілікті тіркелу арасында жіберіңіз.","localConversation.sync.modal.loading.title":"Өзгертулер табысталуда…","localConversation.sync.modal.noChanges":"Өзгерістер жоқ","localConversation.syncSetup.branchAriaLabel":"Тармақ атауы","localConversation.syncSetup.branchName":"Тармақ атауы","localConversation.syncSetup.branchPlaceholder.existing":"Бар тармақты таңдаңыз","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Тармақтар жүктелуде…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Тіркеліп қойды","localConversation.syncSetup.checkoutClean":"Қазір мұнда: {branchName}","localConversation.syncSetup.checkoutDirty":"Қазір жіберілмеген өзгерістерсіз мұнда: {branchName}","localConversation.syncSetup.checkoutError":"Тармақ тексерілмеді: {message}","localConversation.syncSetup.checkoutLabel":"Қазір жергілікті тексеру","localConversation.syncSetup.checkoutOnLocal":"Жергіліктіге табыстау","localConversation.syncSetup.checkoutPending":"Жергілікті күйі тексерілуді…","localConversation.syncSetup.checkoutUnavailable":"Жергілікті жұмыс кеңістігі жоқ","localConversation.syncSetup.checkoutUnknown":"Жергілікті тармақ жоқ","localConversation.syncSetup.continue":"Жалғастыру","localConversation.syncSetup.createBranchError":"Табыстау тармағы орнатылмады: {message}","localConversation.syncSetup.error":"Бірдеңе дұрыс болмады: {message}","localConversation.syncSetup.error.workingTreeMissing":"Жұмыс ағашының экран суреті жасалмады. Қайтадан табыстап көріңіз.","localConversation.syncSetup.mode.ariaLabel":"Тармақ режимін таңдаңыз","localConversation.syncSetup.mode.existing":"Бар тармақ","localConversation.syncSetup.mode.new":"Жаңа тармақ","localConversation.syncSetup.noBranches":"Тармақтар табылмады","localConversation.syncSetup.overwriteError":"Тармақ жасалды, алайда толығымен табысталмады. Жергілікті тексерер бұрын, қолмен табыстаңыз.","localConversation.syncSetup.setPrefix":"Префиксті орнату","localConversation.syncSetup.subtitle":"Жұмыс ағашы өзгерістерін жергілікті тексеріңіз және өңдеңіз. <a>Көбірек білу</a>","localConversation.syncSetup.success.checkedOut":"Тармақ жасалды және ол жергілікті тексеріледі","localConversation.syncSetup.success.notCheckedOut":"Тармақ жасалды","localConversation.syncSetup.title":"Жергілікті тармаққа табысталды","localConversation.syncWorktreeError.branchAriaLabel":"Тармақ атауы","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Табысталатын тармақты таңдаңыз, содан кейін өзгертулерді қайта жүктеп көріңіз.","localConversation.syncWorktreeError.branchSetup.title":"Тармақты жаңарту","localConversation.syncWorktreeError.branchUpdate.cta":"Жаңартау және қайталау","localConversation.syncWorktreeError.branchUpdate.error":"Тармақ жаңартылмады: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Бірдеңе дұрыс болмады: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Тармақ ешқандай жұмыс ағашында тексерілмейді.","localConversation.syncWorktreeV2.applyUncommitted":"Қолдану","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Жіберілмеген өзгертулерді қолдану үшін тармақты жергілікті тексеруіңіз керек","localConversation.syncWorktreeV2.branches.empty":"Тармақтар табылмады","localConversation.syncWorktreeV2.branches.loading":"Тармақтар жүктелуде…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Табыстау тармағын өзгерту","localConversation.syncWorktreeV2.changeBranch.error":"Табыстау тармағы өзгертілмеді: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Қолданылмады","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Жұмыс ағашының үстінен жазылмады","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Жергілікті үстінен жазылмады","localConversation.syncWorktreeV2.commandError.back":"Артқа","localConversation.syncWorktreeV2.commandError.body":"Табыстау кезінде git пәрмені берілмеді. Нәтижені тексеріп, қайталаңыз.","localConversation.syncWorktreeV2.commandError.retry":"Қайталау","localConversation.syncWorktreeV2.description":"Жергілікті және осы жұмыс ағашы арасында өзгертулерді табыстау <a>Көбірек білу</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Табыстау бағытын таңдаңыз","localConversation.syncWorktreeV2.error.generic":"Табыстау кезінде бірдеңе дұрыс болмады. Әрекетті қайталаңыз.","localConversation.syncWorktreeV2.localBranchLabel":"Құрылғыдағы","localConversation.syncWorktreeV2.noChanges":"Өзгертулер саналуда","localConversation.syncWorktreeV2.noChanges.summary":"Өзгерістер жоқ","localConversation.syncWorktreeV2.overwrite.local":"Жергілікті үстінен жазу","localConversation.syncWorktreeV2.overwrite.worktree":"Жұмыс ағашының үстінен жазу","localConversation.syncWorktreeV2.partial.action.applyFailed":"Өзгертулер қолданылмады","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Жергілікті өзгерістер үстінен жазылмады","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Жұмыс ағашы өзгерістері үстінен жазылмады","localConversation.syncWorktreeV2.partial.appliedLabel":"Қолданылды","localConversation.syncWorktreeV2.partial.back":"Артқа","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Қақтығыстарды шешіп, әрекетті қайталаңыз.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Қақтығыстар","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# файл} other {# файл}}","localConversation.syncWorktreeV2.partial.retry":"Қайталау","localConversation.syncWorktreeV2.partial.skippedLabel":"Өткізіп жіберілді","localConversation.syncWorktreeV2.stateFailed.generic":"Табыстау үшін жұмыс ағашының өзгерістерін алу кезінде бірдеңе дұрыс болмады. Әрекетті қайталаңыз.","localConversation.syncWorktreeV2.stateFailed.title":"Жұмыс ағашы өзгертулері жүктелмеді","localConversation.syncWorktreeV2.statusError.diffUnknown":"Жұмыс ағашы өзгертулері жүктелмеді.","localConversation.syncWorktreeV2.statusError.retry":"Қайталау","localConversation.syncWorktreeV2.statusError.title":"Жергілікті тармақ өзгерістері жүктелмеді","localConversation.syncWorktreeV2.statusError.unknown":"Тармақ күйі қазір қолжетімсіз. Әрекетті қайталаңыз.","localConversation.syncWorktreeV2.success.apply":"Өзгертулер сәтті қолданылды","localConversation.syncWorktreeV2.success.overwrite":"Сәтті табысталды","localConversation.syncWorktreeV2.title":"Табыстау өзгерістері","localConversation.syncWorktreeV2.worktreeLabel":"Жұмыс ағашы","localConversation.userInputRequest.inProgress":"{count, plural, one {сұрақ} other {сұрақ}} сұрауда","localConversation.userInputRequest.noAnswer":"Берілген жауап жоқ","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Сұрады","localConversation.userInputRequest.summary.count":"{count, plural, one {# сұрақ} other {# сұрақ}}","localConversation.workedFor":"{time} үшін жұмыс істеді","localConversation.worktreeBranchSetup.action.create":"Жасау","localConversation.worktreeBranchSetup.branchAriaLabel":"Тармақ атауы","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Жаңа тармақ жасау","localConversation.worktreeBranchSetup.checkoutDisabled":"Бұл тармақ мына кезде тіркеліп қойды: {location}","localConversation.worktreeBranchSetup.checkoutError":"Тармақ тексерілмеді: {message}","localConversation.worktreeBranchSetup.createBranchError":"Тармақ орнатылмады: {message}","localConversation.worktreeBranchSetup.error":"Бірдеңе дұрыс болмады: {message}","localConversation.worktreeBranchSetup.subtitle":"Осы жұмыс ағашынан өзгерістерді бекіту, өзгерістерді жіберу және шығарып алу сұрауларын (PR) жасау үшін тармақ жасаңыз. <a>Көбірек білу</a>","localConversation.worktreeBranchSetup.title":"Мына жерден жұмыс істеңіз","localConversationPage.addWorktreeToSidebar.tooltip":"Осы жұмыс ағашынан жаңа тізбек бастай алуыңыз үшін жоба ретінде сақтау","localConversationPage.addWorktreeToSidebarError":"Жоба қосылмады","localConversationPage.commitAndCreatePrModal.errorTitle":"Бекіту және PR жасау сәтсіз болды","localConversationPage.commitAndCreatePrModal.successTitle":"Бекітілді және PR жасалды.","localConversationPage.commitAndPushModal.errorTitle":"Бекіту және жіберу сәтсіз болды","localConversationPage.commitAndPushModal.successTitle":"Өзгерістер бекітілді және жіберілді","localConversationPage.commitCreatePr.open":"Pull сұранысын ашу","localConversationPage.commitCreatePr.successTitle":"Соңғы өзгерістеріңізбен PR жасалды","localConversationPage.createBranchButtonLabel":"Тармақ осында","localConversationPage.createPrModal.baseBranch":"Негіз","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR жасау","localConversationPage.createPrModal.createDescription":"Соңғы өзгерістеріңіз үшін пулл-реквест ашыңыз.","localConversationPage.createPrModal.errorTitle":"Пулл-реквест жасалмады.","localConversationPage.createPrModal.headBranch":"Бас","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR ашу","localConversationPage.createPrModal.successTitle":"Шығарып алу сұрауы жасалды","localConversationPage.createPrModal.title":"Шығарып алу сұрауын жасау","localConversationPage.createPrModal.viewDescription":"Бұл тармақ үшін пулл-реквест әлдеқашан жасалған.","localConversationPage.createPrModal.viewTitle":"Пулл-реквест дайын","localConversationPage.createPullRequestAuthGh":"GitHub CLI аутентификациялау: run `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Тармақ ақпараты жоқ","localConversationPage.createPullRequestButtonLabel":"PR жасау","localConversationPage.createPullRequestButtonLabel.loading":"PR жасалуда…","localConversationPage.createPullRequestDefaultBranchMissing":"Әдепкі тармақ ақпараты жоқ","localConversationPage.createPullRequestError":"Шығарып алу сұрауын жасау мүмкін емес","localConversationPage.createPullRequestExistingPullRequest":"Бұл тармақ үшін пулл-реквест әлдеқашан жасалған.","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI күйі жүктелуде…","localConversationPage.createPullRequestInstallGh":"Шығарып алу сұрауларын жасау үшін GitHub CLI (gh) орнату","localConversationPage.createPullRequestNoRepo":"Ешқандай Git репозитрийі табылмады","localConversationPage.createPullRequestPushStatusMissing":"Жіберу күйі жүктелуде...","localConversationPage.createPullRequestSetUpstream":"Шығарып алу сұрауын жасар алдында осы тармақты жіберіңіз","localConversationPage.createPullRequestSuccessToast":"Шығарып алу сұрауы жасалды","localConversationPage.createPullRequestSwitchBranch":"Шығарып алу сұрауын жасар алдында функция тармағына ауысыңыз","localConversationPage.error.render":"Жергілікті диалогты көрсету кезінде қате шықты","localConversationPage.error.toast":"Әңгіме табылмады","localConversationPage.forcePushError":"Мәжбүрлі жіберу сәтсіз болды.","localConversationPage.generatePullRequestMessageError":"Pull request тақырыбы мен мәтінін жасау сәтсіз аяқталды","localConversationPage.generatePullRequestMessageFailed":"Pull request тақырыбы мен мәтінін жасау сәтсіз аяқталды.","localConversationPage.gitActionResult.branch":"Тармақ","localConversationPage.gitActionResult.cancel":"Бас тарту","localConversationPage.gitActionResult.close":"Жабу","localConversationPage.gitActionResult.tryAgain":"Қайталап көр","localConversationPage.gitActions":"Git әрекеттері","localConversationPage.newChat":"Жаңа чат","localConversationPage.openInTarget":"Ашатын қолданба:","localConversationPage.openPrimaryTarget":"Ашу","localConversationPage.planItemsCompleted":"{completedItems}/{totalItems, plural, one {# тапсырма орындалды} other {# тапсырма орындалды}}","localConversationPage.pushAuthError":"Жіберілмеді: аутентификация керек","localConversationPage.pushBranchMissing":"Тармақ ақпараты жоқ","localConversationPage.pushButtonLabel":"Пуш","localConversationPage.pushButtonLabel.loading":"Жіберуде","localConversationPage.pushError":"Өзгертулер жіберілмеді","localConversationPage.pushModal.branchLabel":"Тармақ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Бас тарту","localConversationPage.pushModal.confirm":"Пуш","localConversationPage.pushModal.description":"Соңғы бекітулеріңізді қашықтағы репозиторийге жіберіңіз.","localConversationPage.pushModal.errorTitle":"Жіберу сәтсіз болды","localConversationPage.pushModal.forcePush":"Мәжбүрлі жіберу","localConversationPage.pushModal.successTitle":"Мәжбүрлі жіберілді","localConversationPage.pushModal.title":"Өзгерістерді мәжбүрлі енгізу","localConversationPage.pushModal.tryAgain":"Қайталап көр","localConversationPage.pushNoUpstream":"Осы тармақты жіберер алдында шығыс репозиторийді баптаңыз","localConversationPage.pushNoUpstreamError":"Жіберілмеді: шығыс арна бапталмаған","localConversationPage.pushNothingToPush":"Жіберілетін жаңа коммиттер жоқ","localConversationPage.pushRemoteChangedError":"Жіберілмеді: қашықтағы пайдаланушыда жаңа коммит бар","localConversationPage.pushRemoteRejectedError":"Қашықтағы пайдаланушы жіберуді қабылдамады","localConversationPage.pushStatusMissing":"Жіберу күйі жүктелуде...","localConversationPage.pushSuccessToast":"Күштеп жасалған өзгерістер","localConversationPage.viewPullRequestButtonLabel":"PR көру","localConversationPage.viewPullRequestButtonLabel.loading":"Pull request жүктелуде...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# файл} other {# файл}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# тізім} other {# тізім}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# іздеу} other {# іздеу}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Зерттеу","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Зерттелді","localConversationTurn.exploration.accordion.header.complete.withCounts":"Зерттелді {counts}","localConversationTurnStory.showContent":"Мазмұнды көрсету","localConversationTurnStory.streamContent":"Мазмұнды стриммен тарату","localConversationTurnStory.toggleReasoning":"Пайымды көрсету","localTaskRow.archiveError":"Әңгіме мұрағатталмады","localTaskRow.resumeError":"Тапсырманы жалғастыру мүмкін емес","mermaidDiagram.ariaLabel":"Mermaid диаграммасы","mermaidDiagram.copySource":"Mermaid кестесін көшіру","mermaidDiagram.originalCode":"Mermaid бастапқы коды","notifications.permissions.description":"Хабарландыру рұқсаты қажет болған кезде, ескертулерді көрсету.","notifications.permissions.label":"Рұқсат хабарландыруларын қосу","notifications.turnMode.always":"Әрқашан","notifications.turnMode.description":"Codex сізге процестің аяқталғаны туралы хабарлайтын уақытты белгілеу","notifications.turnMode.label":"Аяқталу туралы хабарландыруларды қосу","notifications.turnMode.off":"Ешқашан","notifications.turnMode.unfocused":"Тек фокусталмаған кезде","patchApprovalRequest.approve":"Растау","patchApprovalRequest.menu.allowAlways":"Иә және осы сеанста қайтадан сұрамау","patchApprovalRequest.menu.allowForSession":"Иә және осы сеанста қайтадан сұрамау","patchApprovalRequest.menu.allowOnce":"Иә","patchApprovalRequest.prompt":"Осы өзгертулерді жасағыңыз келе ме?","patchApprovalRequest.reject":"Жоқ","patchApprovalRequest.waitingForApproval":"Файлдарды өңдеу үшін мақұлдауды күтуде","pendingRequest.approvalExec.collapse":"Жию","pendingRequest.approvalExec.expand":"Жаю","pendingRequestStory.toastAnswer":"Жауап: {answer}","pendingRequestStory.toastApprovalTitle":"Мақұлдау жауабы","pendingRequestStory.toastFollowupPrompt":"Көмексөз: {prompt}","pendingRequestStory.toastFollowupTitle":"Қадағалау сұрауы жіберілді","pendingRequestStory.toastNoAnswers":"Берілген жауаптар жоқ","pendingRequestStory.toastQuestion":"Сұрақ: {question}","pendingRequestStory.toastUnknownDecision":"Белгісіз","pendingRequestStory.toastUserInputTitle":"Жіберілген жауаптар","quickAction.request.codeReview.branches.new":"{to} қатысты {from} өзгерістерді қарап шығыңыз","quickAction.request.codeReview.uncommitted.new":"Менің сақталмаған өзгерістерімді тексеріңіз","reasoningItem.thinking":"Ойлануда","reasoningItem.thought":"Ой","reasoningItem.thoughtWithElapsed":"{elapsed} туралы ой","recentConversations.title":"Жақындағы әңгімелер","recentTasks.worktreeInitFailedTitle":"Жұмыс ағашын инициализациялау сәтсіз болды","recentTasks.worktreeSettingUpTitle":"Жұмыс ағашын орнату","requestInputPanel.continue":"Жалғастыру","requestInputPanel.dismiss":"Жабу","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Осында теріңіз","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Жоқ және Codex қызметіне нені басқаша істеу керектігін айту","requestInputPanel.selectedBadge":"Таңдалды","requestInputPanel.skip":"Өткізіп жіберу","requestInputPanel.submit":"Жіберу","review.commit.ariaLabel.includeUnstaged":"Индекстелмегендерді қосу","review.commit.buttonLabel":"Тапсыру","review.commit.disabled.committing":"Тапсыруда...","review.commit.disabled.loadingDiff":"Айырмашылықтар жүктелуде…","review.commit.disabled.missingContext":"Коммит хабарламасын жасау үшін біраз контекст қосыңыз","review.commit.disabled.noChanges":"Расталатын өзгерістер жоқ","review.commit.disabled.noSelection":"Растау үшін өзгертулерді таңдаңыз","review.commit.disabled.unavailable":"Растау дәл қазір қолжетімді емес","review.commit.error":"Өзгертулерді жіберу мүмкін болмады","review.commit.form.changesToBeCommitted":"Өзгерістер","review.commit.form.commitTo":"Тармақ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Жалғастыру","review.commit.form.title":"Өзгерістерді тапсыру","review.commit.generate.emptyResponse":"Коммит хабарламасы жасалмады","review.commit.generate.failed":"Коммит хабарламасы жасау мүмкін болмады: {error}","review.commit.generate.missingPrompt":"Коммит хабарламасын жасау үшін біраз контекст қосыңыз.","review.commit.includeUnstaged":"Индекстелмегендерді қосу","review.commit.loading.description":"Күте тұрыңыз, бұл сәл уақыт алуы мүмкін","review.commit.loading.step.commit.done":"Жіберілген өзгертулер","review.commit.loading.step.commit.pending":"Өзгерістер енгізу","review.commit.loading.step.createPr.done":"Пулл-реквест жасалды","review.commit.loading.step.createPr.pending":"Пулл-реквест жасалуда","review.commit.loading.step.push.done":"{branch} тармағына жіберілді","review.commit.loading.step.push.pending":"{branch} тармағына жіберілуде","review.commit.loading.title.commit":"Өзгерістер енгізу","review.commit.loading.title.createPr":"PR жасалуда.","review.commit.loading.title.push":"Өзгерістер жіберілуде","review.commit.messageLabel":"Коммит хабары","review.commit.messagePlaceholder":"Жіберілетін хабарды автоматты түрде жасау үшін өрісті бос қалдырыңыз","review.commit.nextSteps":"Келесі қадам:","review.commit.nextSteps.commit":"Тапсыру","review.commit.nextSteps.commitAndCreate":"Бекіту және PR жасау","review.commit.nextSteps.commitAndPush":"Бекіту және жіберу","review.commit.nextSteps.prRequiresGh":"GitHub CLI қажет: {command}","review.commit.rows.changes":"Өзгерістер","review.commit.rows.commitCount":"{count, plural, one {# тапсыру} other {# жіберу}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# тапсыру} other {# жіберу}} және {stats}","review.commit.rows.fileCount":"{count, plural, one {# файл} other {# файл}}","review.commit.state.error.body":"Тапсыру кезінде бірдеңе дұрыс болмады. Git күйін тексеріп, әрекетті қайталаңыз.","review.commit.state.error.title":"Тапсырылмады","review.commit.state.success.title":"Өзгерістер бекітілді","review.commit.untracked.loadingStats":"Бақыланбайтын айырмашылықтар статистикасын жүктеуде…","reviewFindingAttachments.count":"{count, plural, one {# нәтиже} other {# нәтиже}}","settings.agent.configuration.configToml":"саясатын","settings.agent.configuration.configToml.description":"Агент әрекетін баптау үшін конфигурацияңызды өңдеңіз","settings.agent.configuration.configToml.docs":"Құжаттар","settings.agent.configuration.subtitle":"Бұл параметрлер Codex қолданылатын барлық жерге қатысты","settings.automations.banner.danger":"Автоматтандыру қазіргі уақытта «Толық рұқсат» орнатылған әдепкі құмсалғыш параметрлерімен орындалады. «Толық рұқсат» көмегімен фондық автоматтандыруды іске қосу жоғары тәуекелмен байланысты, өйткені Codex файлдарды өзгерте алады, командаларды орындай алады және рұқсатсыз желіге кіре алады. Құмсалғыш параметрлерін жұмыс аймағына жазу режиміне дейін жаңарту және агенттің толық рұқсатпен қандай командаларды орындай алатынын іріктеп анықтау үшін <rulesDocsLink>ережелерді</rulesDocsLink> пайдалану ұсынылады.","settings.automations.banner.defaultHowTo.default":"Автоматтандыру әдепкі құмсалғыш параметрлерімен орындалады. Құрал шақырулары жұмыс кеңістігінен тыс файлдарды өзгертуді, желіге кіруді немесе компьютеріңіздегі қолданбалармен жұмыс істеуді талап етсе, қате шығады. Құмсалғыштан тыс командаларды <rulesDocsLink>ережелер</rulesDocsLink> арқылы таңдамалы түрде орындауға рұқсат беруге болады.","settings.automations.banner.defaultHowTo.readOnly":"Автоматтандыру «тек оқу» режиміне орнатылған әдепкі құмсалғыш параметрлерімен орындалады. Құрал шақырулары жұмыс кеңістігінен тыс файлдарды өзгертуді, желіге кіруді немесе компьютеріңіздегі қолданбалармен жұмыс істеуді талап етсе, қате шығады. Құмсалғыш параметрлерін жұмыс кеңістігіне жазу режимін орнату арқылы жаңарту ұсынылады.","settings.automations.cancel":"Бас тарту","settings.automations.create":"Жасау","settings.automations.cwdEmpty":"Жоба қалталары жоқ","settings.automations.cwdLabel":"Жобалар","settings.automations.cwdPlaceholder":"Папканы таңдаңыз","settings.automations.cwdSubtitle":"Автоматтандырудың нақты тармақты орындалғанын қаласаңыз, оны көмексөзіңізде нақтылай аласыз.","settings.automations.delete":"Жою","settings.automations.dialog.editTitle":"Автоматтандыруды өзгерту","settings.automations.dialog.newTitle":"Жаңа автоматтандыру","settings.automations.dialog.subtitle":"Фонда қайталанатын тапсырмаларды автоматтандырыңыз. Codex нәтижелерді кіріс қалтасына қосады немесе хабарлайтын ештеңе болмаса, тапсырманы автоматты түрде мұрағаттайды. <learnMoreLink>Көбірек білу</learnMoreLink>","settings.automations.dialog.title":"Автоматтандыру құру","settings.automations.executionCopy.git":"Автоматтандырулар арнайы жұмыс ағаштарында фондық режимде орындалады.","settings.automations.executionCopy.nonGit":"Нұсқаларды бақылау жүйесін қолданбайтын жобалардағы автоматтандыру тікелей жоба каталогында орындалады. Жеке жұмыс ағаштары үшін фондық режимде автоматтандыруды іске қосу үшін Git пайдалану ұсынылады.","settings.automations.executionEnvironment.local":"Құрылғыдағы","settings.automations.executionEnvironment.worktree":"Жұмыс ағашы","settings.automations.loading":"Жүктелуде...","settings.automations.nameLabel":"Аты","settings.automations.namePlaceholder":"Күзет бойынша қиындықтар бар-жоғын тексеріңіз.","settings.automations.pause":"Уақытша тоқтату","settings.automations.promptLabel":"Көмексөз","settings.automations.promptPlaceholder":"$Sentry ішінен қателерді көру","settings.automations.resume":"Жалғастыру","settings.automations.rruleSummaryFallback":"Бапталатын жоспар","settings.automations.runNow":"Тексеру","settings.automations.save":"Сақтау","settings.automations.scheduleBadge.dayCount":"{count} күн","settings.automations.scheduleBadge.interval":"{count} сағ","settings.automations.scheduleBadge.weekdays":"Апта күндері","settings.automations.scheduleBadge.weekends":"Сенбі және жексенбі","settings.automations.scheduleHeader":"Жоспар","settings.automations.scheduleHours":"сағат","settings.automations.scheduleLabel":"Іске қосу: әр","settings.automations.scheduleMode.daily":"Күнде","settings.automations.scheduleMode.interval":"Интервал","settings.automations.scheduleModeLabel":"Жоспар түрі","settings.automations.scheduleSummary.daily":"Күнде мына уақытта: {time}","settings.automations.scheduleSummary.interval":"Әр {count} сағ сайын","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# күн} other {# күн}}","settings.automations.scheduleSummary.intervalDays":"{interval}, {days} күні","settings.automations.scheduleSummary.intervalHourly":"Сағат бойынша","settings.automations.scheduleSummary.singleDay":"{day}, {time}","settings.automations.scheduleSummary.weekdays":"Апта күндері {time}","settings.automations.scheduleSummary.weekdaysLabel":"апта күндері","settings.automations.scheduleSummary.weekends":"Сенбі және жексенбі {time}","settings.automations.scheduleSummary.weekendsLabel":"сенбі және жексенбі","settings.automations.scheduleSummary.weekly":"{days}, {time}","settings.automations.scheduleWeekdays":"Қосу","settings.automations.weekdayState.excluded":"Қамтылмаған","settings.automations.weekdayState.included":"Қамтылған","settings.conversationDetail.steps":"Қадамдар","settings.conversationDetail.steps.description":"Пәрмендер мен нәтижелерді жасыру","settings.conversationDetail.stepsWithCommands":"Код пәрмендері бар қадамдар","settings.conversationDetail.stepsWithCommands.description":"Пәрмендері көрсету, нәтижені жию","settings.conversationDetail.stepsWithOutput":"Код нәтижесі бар қадамдар","settings.conversationDetail.stepsWithOutput.description":"Пәрмендерді көрсету және нәтижені жаю","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Мұрағатталған чаттар жоқ","settings.dataControls.archivedChats.error":"Мұрағатталған чаттарды жүктеу мүмкін болмады.","settings.dataControls.archivedChats.loading":"Мұрағатталған чаттар жүктелуде...","settings.dataControls.archivedChats.unarchive":"Мұрағаттан шығару","settings.dataControls.archivedChats.unarchiveError":"Чатты мұрағаттан шығару мүмкін болмады","settings.dataControls.archivedChats.unarchiveSuccess":"Мұрағаттан шығарылған тізбек. <viewNowLink> Қазір көру </viewNowLink>","settings.dataControls.archivedChats.untitled":"Тақырыпсыз чат","settings.editRow.headerPlaceholder":"Кілт","settings.editRow.removeEntry":"Нысанды жою","settings.editRow.valuePlaceholder":"Мән","settings.general.appearance":"Сыртқы көрінісі","settings.general.appearance.codeFont":"Код қарпінің өлшемі","settings.general.appearance.codeFont.description":"Барлық чаттарда және өзгерістерді салыстыру кезінде код үшін қолданылатын қаріпті және өлшемді реттеу","settings.general.appearance.codeFontFamily":"Код қарпінің тобы","settings.general.appearance.codeFontSize":"Кодтың қаріп өлшемі","settings.general.appearance.codeFontSize.units":"пиксель","settings.general.appearance.opaqueWindows.description":"Терезелер жартылай мөлдір жүйелік фонның орнына бірыңғай фон қолданатындай етіңіз.","settings.general.appearance.opaqueWindows.label":"Терезенің мөлдір емес фонын пайдалану","settings.general.appearance.sansFontFamily":"Sans қаріптер тобы","settings.general.appearance.sansFontFamily.description":"Codex UI үшін пайдаланылған қаріпті реттеу","settings.general.appearance.sansFontSize":"Sans қаріп өлшемі","settings.general.appearance.sansFontSize.units":"пиксель","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark бағдарламасын бірінші рет пайдаланған кезде мейрам әсерлерін толық экран режимінде көрсетеді.","settings.general.appearance.sparkCelebrationEffects.label":"Ұшқын мерекесі әсерлері","settings.general.appearance.theme":"Тақырып","settings.general.appearance.theme.dark":"Қараңғы","settings.general.appearance.theme.description":"Ашық, қараңғы немесе жүйеңізге сәйкес келетін түстерді қолдану","settings.general.appearance.theme.light":"Жарық","settings.general.appearance.theme.system":"Жүйе","settings.general.appearance.usePointerCursors.description":"Интерактивті элементтерге курсорды бағыттағанда, курсорды көрсеткіге ауыстыру","settings.general.appearance.usePointerCursors.label":"Көрсеткі курсорларын пайдалану","settings.general.enterBehavior.description":"Қосылған кезде, бірнеше жолды көмексөздерді жіберу үшін «{modifierSymbol} + enter» пернелерін басу қажет.","settings.general.enterBehavior.label":"Ұзын көмексөздер жіберу үшін «{modifierSymbol} + enter » пернесін басу қажет","settings.general.experimentalFeatures":"Тәжірибелік сипаттамалар (бета нұсқасы)","settings.general.experimentalFeatures.empty":"Тәжірибелік бета функциялары жоқ.","settings.general.experimentalFeatures.loading":"Тәжірибелік функциялар жүктелуде…","settings.general.experimentalFeatures.restartNote":"Тәжірибелік функция өзгерістерін қолдану үшін Codex қызметін қайта іске қосыңыз","settings.general.experimentalFeatures.toggle":"Қосу/өшіру {featureName}","settings.general.followUpQueueMode.description":"Codex жұмыс істеп тұрғанда кезекті қадағалау немесе ағымдағы процесті үзу","settings.general.followUpQueueMode.interrupt":"Басқару","settings.general.followUpQueueMode.label":"Қадағалау әрекеті","settings.general.followUpQueueMode.queue":"Кезек","settings.general.notifications":"Хабарландырулар","settings.general.power.preventSleepWhileRunning.description":"Codex тізбекті орындап жатқанда компьютерді ояу ұстаңыз.","settings.general.power.preventSleepWhileRunning.label":"Жүгіру кезінде ұйықтау күйін алдын алу","settings.git.branchPrefix.ariaLabel":"Тармақтың префиксі","settings.git.branchPrefix.description":"Префикс Codex қызметінде жаңа тармақ жасағанда пайдаланылады","settings.git.branchPrefix.label":"Тармақтың префиксі","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Тармақ прификсі сақталмады","settings.git.branchPrefix.save.success":"Тармақтың префиксі сақталды","settings.git.commitInstructions.ariaLabel":"Коммит нұсқаулары","settings.git.commitInstructions.description":"Коммит хабарламасын жасау көмексөздеріне қосылды","settings.git.commitInstructions.label":"Коммит нұсқаулары","settings.git.commitInstructions.placeholder":"Коммит хабарламасы бойынша нұсқаулық қосу...","settings.git.commitInstructions.save":"Сақтау","settings.git.commitInstructions.save.error":"Коммит нұсқауларын сақтау сәтсіз аяқталды","settings.git.commitInstructions.save.success":"Коммит нұсқаулары сақталды","settings.git.forcePush.ariaLabel":"Әрдайым мәжбүрлі жіберу","settings.git.forcePush.description":"Codex қызметінен өзгерістерді жіберу кезінде --force-with-lease параметрін пайдалану","settings.git.forcePush.label":"Әрдайым мәжбүрлі жіберу","settings.git.forcePush.save.disabled":"Әрдайым мәжбүрлі жіберу өшірулі","settings.git.forcePush.save.enabled":"Әрдайым мәжбүрлі жіберу қосулы","settings.git.forcePush.save.error":"Мәжбүрлі жіберу баптауы сақталмады","settings.git.prInstructions.ariaLabel":"Pull request нұсқаулары","settings.git.prInstructions.description":"Codex жасаған pull request мәтіндеріне қоса тіркелді","settings.git.prInstructions.label":"Pull request нұсқаулары","settings.git.prInstructions.placeholder":"Pull request бойынша нұсқаулық қосу...","settings.git.prInstructions.save":"Сақтау","settings.git.prInstructions.save.error":"Pull request нұсқауларын сақтау мүмкін болмады","settings.git.prInstructions.save.success":"Pull request нұсқаулары сақталды","settings.ide.defaultOpenTarget.description":"Файлдар мен қалталар әдепкі бойынша ашылатын орын","settings.ide.defaultOpenTarget.label":"Әдепкі ашылу орны","settings.ide.defaultOpenTarget.placeholder":"Нысандар табылмады","settings.ide.language.auto":"Автоматты анықтау","settings.ide.language.autoOption":"Автоматты анықтау","settings.ide.language.description":"Қолданба интерфейсінің тілі","settings.ide.language.label":"Тіл","settings.ide.language.search":"Тілдерді іздеу","settings.layout.actionButton":"Кеңейтімді қайта бастау","settings.layout.actionTitle":"Әрекеті бар параметрлер","settings.layout.fullWidthTitle":"Параметрлер (толық ені)","settings.layout.title":"Параметрлер","settings.localEnvironments.actions.add":"Әрекет қосу","settings.localEnvironments.actions.add.description":"Құралдар панелінен іске қосу үшін жаңа пәрмен жасаңыз.","settings.localEnvironments.actions.add.save":"Сақтау","settings.localEnvironments.actions.empty":"Пәрмендерді жергілікті құралдар панелінен іске қосу үшін әрекетті қосыңыз.","settings.localEnvironments.actions.icon.debug":"Қатені түзету","settings.localEnvironments.actions.icon.run":"Іске қосу","settings.localEnvironments.actions.icon.test":"Тексеру","settings.localEnvironments.actions.icon.tool":"Құрал","settings.localEnvironments.actions.item.button.delete":"Жою","settings.localEnvironments.actions.item.command":"Әрекет скрипті","settings.localEnvironments.actions.item.name":"Аты","settings.localEnvironments.actions.item.platforms":"Платформалар","settings.localEnvironments.actions.item.platforms.help":"Тек нақты операциялық жүйеде іске қосыңыз.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Платформаны таңдау","settings.localEnvironments.actions.item.platforms.specific":"Платформаға тән","settings.localEnvironments.actions.item.platforms.windows":"Терезелер","settings.localEnvironments.actions.item.tooltip.delete":"Жою","settings.localEnvironments.actions.title":"Әрекеттер","settings.localEnvironments.breadcrumb.back":"Артқа","settings.localEnvironments.breadcrumb.edit":"өңдеу","settings.localEnvironments.breadcrumb.root":"Орталар","settings.localEnvironments.environment.actions.description":"Бұл әрекеттер кез келген пәрмендерді іске қоса алады және тақырыпатта көрсетіледі.","settings.localEnvironments.environment.actionsLabel":"Әрекеттер","settings.localEnvironments.environment.create":"Жергілікті ортаны жасау","settings.localEnvironments.environment.defaultName":"құрылғыдағы","settings.localEnvironments.environment.edit":"Жергілікті ортаны өзгерту","settings.localEnvironments.environment.empty":"Осы жоба үшін әзірге ешқандай жергілікті орталар конфигурацияланбаған.","settings.localEnvironments.environment.name":"Аты","settings.localEnvironments.environment.setup":"Орнату скрипті","settings.localEnvironments.environment.setup.description":"Бұл скрипт жұмыс ағашын жасау үшін іске қосылады.","settings.localEnvironments.environment.setup.hint":"Жоба түбірінде іске қосылады.","settings.localEnvironments.environment.setup.platformOverrides":"Платформаны қайта анықтау","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} баптау сценарийін қосу","settings.localEnvironments.environment.setup.platformOverrides.description":"Нақты операциялық жүйелер үшін стандартты скрипттің орнын басады.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Алып тастау","settings.localEnvironments.environment.setup.script":"Скрипт","settings.localEnvironments.environment.title":"Орта деректері","settings.localEnvironments.file.missing":"Осы файлды алғаш рет жасау үшін сақтаңыз.","settings.localEnvironments.file.parseError":"Бар файлды талдау мүмкін емес. Сақтасаңыз, үстінен жазылады. ({error})","settings.localEnvironments.file.path":"Файл: {path}","settings.localEnvironments.file.readError":"Жергілікті орта деректерін жүктеу мүмкін емес. ({error})","settings.localEnvironments.file.title":"Жергілікті орта файлы","settings.localEnvironments.loading.body":"Жоба конфигурациясы алынуда.","settings.localEnvironments.loading.title":"Жергілікті орталар жүктелуде","settings.localEnvironments.preview.devOnly":"(тек ӘЗІРЛЕУШІ)","settings.localEnvironments.preview.save":"Сақтау","settings.localEnvironments.preview.saveError":"Файл сақталмады. ({error})","settings.localEnvironments.preview.title":"Алдын ала қарау","settings.localEnvironments.save.disabled.name":"Сақтау үшін орта атауын қосыңыз.","settings.localEnvironments.save.disabled.noChanges":"Сақталатын өзгертулер жоқ.","settings.localEnvironments.save.disabled.saving":"Сақталуда...","settings.localEnvironments.save.success":"Жергілікті орта файлы сақталды","settings.localEnvironments.unavailable.body":"Осы жоба үшін жергілікті орта параметрлерін жүктей алмадық.","settings.localEnvironments.unavailable.title":"Жергілікті орталар жоқ","settings.localEnvironments.workspace.add":"Жоба қосу","settings.localEnvironments.workspace.title":"Жоба","settings.localEnvironments.workspaceSelect.addLabel":"Орта қосу","settings.localEnvironments.workspaceSelect.description":"Жергілікті орталар Codex-ке жобаға арналған жұмыс ағаштарын қалай баптау керектігін көрсетеді. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Әзірге жобалар жоқ. Жергілікті орталарды конфигурациялау үшін біреуін қосыңыз.","settings.localEnvironments.workspaceSelect.errorLabel":"Ортаға назар аудару қажет","settings.localEnvironments.workspaceSelect.learnMore":"Көбірек білу","settings.localEnvironments.workspaceSelect.listLabel":"Бар жобалар","settings.localEnvironments.workspaceSelect.loading":"Жобалар жүктелуде","settings.localEnvironments.workspaceSelect.loadingLabel":"Орта жүктелуде","settings.localEnvironments.workspaceSelect.title":"Бір жобаны таңдау","settings.localEnvironments.workspaceSelect.viewAction":"Көру","settings.mcp.addServer":"Сервер қосу","settings.mcp.app.configure":"Конфигурациялау","settings.mcp.app.connect":"Қосылу","settings.mcp.apps.refresh":"Жаңарту","settings.mcp.detail.addArgument":"Аргумент қосу","settings.mcp.detail.addEnvVar":"Орта айнымалысын қосу","settings.mcp.detail.addEnvVarPassthrough":"Айнымалы қосу","settings.mcp.detail.args":"Аргументтер","settings.mcp.detail.back":"Артқа","settings.mcp.detail.command":"Іске қосу пәрмені","settings.mcp.detail.cwd":"Жұмыс каталогі","settings.mcp.detail.docs":"MCP құжаттамасын ашу","settings.mcp.detail.docs.link":"Құжаттар","settings.mcp.detail.envVarPassthrough":"Орта айнымалысын жіберу","settings.mcp.detail.envVars":"Орта айнымалылары","settings.mcp.detail.http.addEnvHeader":"Айнымалы қосу","settings.mcp.detail.http.addHeader":"Тақырыпат қосу","settings.mcp.detail.http.bearerToken":"Ұсынушы токенінің орта айнымалылысы","settings.mcp.detail.http.envHeaders":"Орта айнымалыларының тақырыпаттары","settings.mcp.detail.http.headers":"Тақырыпаттар","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Аты","settings.mcp.detail.save":"Сақтау","settings.mcp.detail.switchTransportNotice":"MCP сервер түрін ауыстырғыңыз келсе, алдымен жойыңыз.","settings.mcp.detail.titleExisting":"{name} MCP серверін жаңарту","settings.mcp.detail.titleNew":"Арнаулы MCP серверіне қосылу","settings.mcp.detail.transport.http":"Трансляциялауға мүмкіндік беретін HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Жою","settings.mcp.empty":"Арнаулы MCP серверлері қосылмаған","settings.mcp.myServers":"Арнаулы серверлер","settings.mcp.partnerServer.description.figma":"Figma толық контекстін қолдана отырып, жоғары сапалы код генерациялау","settings.mcp.partnerServer.description.github":"Жұмыс процестерін автоматтандыру және деректерді шығарып алу үшін GitHub API интерфейстерін біріктіру","settings.mcp.partnerServer.description.linear":"Linear қызметінің проблемаларды бақылау және жобаларды басқару жүйелерімен интеграциялау","settings.mcp.partnerServer.description.notion":"Құжаттарды оқу, беттерді жаңарту, тапсырмаларды басқару","settings.mcp.partnerServer.description.playwright":"Пайдаланушы интерфейсін жобалау және тестілеуді жүзеге асыру үшін браузерді автоматтандыруды біріктіру","settings.mcp.partnerServer.install":"Орнату","settings.mcp.partnerServer.installAndAuthenticate":"Орнату және аутентификациялау","settings.mcp.partnerServer.logoAlt":"{label} логотипі","settings.mcp.partnerServer.manage":"Басқару","settings.mcp.partnerServer.vendor":"авторы: {vendor}","settings.mcp.recommendedServers":"Ұсынылған серверлер","settings.mcp.restartApp":"Қайта бастау","settings.mcp.restartExtension":"Кеңейтімді қайта бастау","settings.mcp.server.enable":"Қосу","settings.mcp.server.login":"Аутентификациялау","settings.mcp.server.settings":"Параметрлер","settings.multiselect.createOption":"«{value}» жасау","settings.multiselect.removeOption":"Алып тастау","settings.nav.account":"Аккаунт","settings.nav.agent":"Конфигурация","settings.nav.ariaLabel":"Параметрлер","settings.nav.back":"Қолданбаға оралу","settings.nav.data-controls":"Мұрағатталған тізбектер","settings.nav.environments":"Бұлттық орталар","settings.nav.externalTooltip":"[alpha] Браузерде ашылады","settings.nav.general-settings":"Жалпы","settings.nav.git-settings":"Git","settings.nav.local-environments":"Орталар","settings.nav.mcp-settings":"MCP серверлері","settings.nav.notImplemented":"[alpha] Альфа нұсқасында жоқ","settings.nav.personalization":"Жекелендіру","settings.nav.skills-settings":"Дағдылар","settings.nav.usage-analytics":"Пайдалану және аналитика","settings.nav.worktrees":"Жұмыс ағаштары","settings.openSourceLicenses.back":"Артқа","settings.openSourceLicenses.loading":"Жүктелуде...","settings.openSourceLicenses.missing":"Үшінші тарап ескертпелері табылмады.","settings.openSourceLicenses.notSupported":"Бұл хостта әзірге жоқ.","settings.openSourceLicenses.rowDescription":"Қамтылған тәуелділіктер бойынша үшінші тарап ескертпелері","settings.openSourceLicenses.rowLabel":"Бастапқы коды ашық лицензиялары","settings.openSourceLicenses.subtitle":"Осы қолданбада қамтылған тәуелділіктер бойынша үшінші тарап ескертпелері","settings.openSourceLicenses.title":"Бастапқы коды ашық лицензиялары","settings.openSourceLicenses.view":"Көру","settings.personalization.agents.description":"Codex қажеттіліктеріңізге бейімдейтін нұсқауларды өңдеңіз. {learnMore}","settings.personalization.agents.learnMore":"Көбірек білу","settings.personalization.agents.loadError":"agents.md жүктеу мүмкін емес.","settings.personalization.agents.loading":"agents.md жүктелуде…","settings.personalization.agents.placeholder":"Бапталған нұсқаулықты қосу","settings.personalization.agents.retry":"Қайталау","settings.personalization.agents.save":"Сақтау","settings.personalization.agents.save.error":"agents.md сақталмады.","settings.personalization.agents.save.success":"agents.md сақталды","settings.personalization.agents.title":"Арнаулы нұсқаулар","settings.personalization.personality.description":"Codex жауаптары үшін әдепкі мәнерді таңдаңыз","settings.personalization.personality.label":"Даралық","settings.sample.contentBody":"Параметрлер тақталарын бірдей аралықта орналастыру үшін осы үлгіні пайдаланыңыз.","settings.sample.contentTitle":"Мазмұн блокының мысалы","settings.section.account":"Аккаунт","settings.section.agent":"Конфигурация","settings.section.data-controls":"Мұрағатталған тізбектер","settings.section.environments":"Бұлттық орталар","settings.section.external":"Альфа кезінде браузеріңізде ашылады","settings.section.general-settings":"Жалпы","settings.section.git-settings":"Git","settings.section.local-environments":"Орталар","settings.section.mcp-settings":"MCP серверлері","settings.section.mcp-settings.docs":"Құжаттар","settings.section.mcp-settings.subtitle":"Сыртқы құралдар мен дереккөздерді қосыңыз.","settings.section.personalization":"Жекелендіру","settings.section.skills-settings":"Дағдылар","settings.section.unavailable":"Әзірге альфа нұсқасында жоқ","settings.section.usage-analytics":"Пайдалану және аналитика","settings.section.worktrees":"Жұмыс ағаштары","settings.threadDetail.description":"Тізбектерде қанша пәрмен нәтижелерін көрсету керектігін таңдаңыз","settings.threadDetail.label":"Тізбек деректері","settings.worktrees.conversation.untitled":"Тақырыпсыз талқылау","settings.worktrees.delete.error":"Жұмыс ағашы жойылмады","settings.worktrees.empty.body":"Codex арқылы жасалған жұмыс ағаштары осында көрсетіледі.","settings.worktrees.empty.title":"Әзірге жұмыс ағаштары жоқ","settings.worktrees.error.body":"Жұмыс ағаштарын жүктеу кезінде бірдеңе дұрыс болмады.","settings.worktrees.error.retry":"Қайталау","settings.worktrees.error.title":"Жұмыс ағаштары жүктелмеді","settings.worktrees.loading.body":"Жұмыс ағашы деректері алынуда.","settings.worktrees.loading.title":"Жұмыс ағаштары жүктелуде","settings.worktrees.repository.loading":"Репозиторий метадеректері жүктелуде…","settings.worktrees.repository.unknown":"Белгісіз репозиторий","settings.worktrees.row.conversations":"Әңгімелер","settings.worktrees.row.conversations.empty":"Осы жұмыс ағашына байланыстырылған талқылаулар жоқ.","settings.worktrees.row.conversations.loading":"Талқылаулар жүктелуде...","settings.worktrees.row.delete":"Жою","settings.worktrees.row.title":"Жұмыс ағашы","sidebarElectron.addWorkspaceRoot":"Жаңа жоба қосу","sidebarElectron.archiveThread":"Тізбекті мұрағаттау","sidebarElectron.archiveThreadError":"Талқылауды мұрағаттау мүмкін болмады","sidebarElectron.collapseFolder":"Папканы жию","sidebarElectron.createStableWorktree.dialog.cancel":"Бас тарту","sidebarElectron.createStableWorktree.dialog.create":"Жасау","sidebarElectron.debugNavLink":"Қатені түзету","sidebarElectron.editWorkspaceRootOptionName":"Атауын өзгерту","sidebarElectron.expandFolder":"Папканы жаю","sidebarElectron.groupByMenu.recency":"Хронологиялық тізім","sidebarElectron.groupByMenu.title":"Реттеу","sidebarElectron.groupByMenu.workspace":"Жоба бойынша","sidebarElectron.inboxRouteNavLink":"Автоматтандыру","sidebarElectron.markThreadUnread":"Оқылмаған етіп белгілеу","sidebarElectron.missingWorkspaceRoot":"Жоба қалтасы жойылды немесе жылжытылды","sidebarElectron.newThread":"Жаңа тізбек","sidebarElectron.newThreadInGroup":"{folder} жаңа тізбек бастау","sidebarElectron.noRecentThreads":"Жуырда тізбектер болмады","sidebarElectron.noTasks":"Тізбектер жоқ","sidebarElectron.noTasks.start":"Жаңа жоба қосу","sidebarElectron.noTasksWithFilter":"Сүзгілерге сәйкес тізбектер жоқ","sidebarElectron.pinnedThreads":"Бекітілген тізбектер","sidebarElectron.recentNavLink":"Тізбектер","sidebarElectron.recentThreads":"Жуырдағы тізбектер","sidebarElectron.removeWorkspaceRootOption":"Алып тастау","sidebarElectron.renameThread":"Тізбек атауын өзгерту","sidebarElectron.renameThreadDialogAriaLabel":"Тізбек тақырыбы","sidebarElectron.renameThreadDialogCancel":"Бас тарту","sidebarElectron.renameThreadDialogPlaceholder":"Тақырып қосу…","sidebarElectron.renameThreadDialogSave":"Сақтау","sidebarElectron.renameThreadDialogSubtitle":"Қысқа әрі тануға оңай етіп таңдаңыз.","sidebarElectron.renameThreadDialogTitle":"Тізбек атауын өзгерту","sidebarElectron.renameThreadError":"Тізбек атауын өзгерту мүмкін болмады.","sidebarElectron.renameWorkspaceRootOptionLabel":"Көрсетілетін атау","sidebarElectron.showLess":"Азырақ көрсету","sidebarElectron.showMenu.all":"Барлық тізбектер","sidebarElectron.showMenu.relevant":"Тиісті","sidebarElectron.showMenu.relevantHint":"Ағымдағы тармақтар, жұмыс ағаштары немесе назарыңызды қажет ететін басқа тізбектер үшін тек соңғы талқылауларды көрсетеді.","sidebarElectron.showMenu.title":"Көрсету","sidebarElectron.showMenu.tooltip":"Сүзгілеу, сұрыптау және тізбектерді реттеу","sidebarElectron.showMenu.trigger":"Бүйірлік тақта тізбектерін сүзгілеу","sidebarElectron.showMore":"Басқаларын көрсету","sidebarElectron.skillsRouteNavLink":"Дағдылар","sidebarElectron.sortMenu.created":"Жасалды","sidebarElectron.sortMenu.title":"Сұрыптау реті","sidebarElectron.sortMenu.updated":"Жаңартылды","sidebarElectron.taskNavigation":"Автоматтандыру папкалары","sidebarElectron.tasksInFolder":"{folder} ішіндегі автоматтандырулар","sidebarElectron.workspaceOptions":"{folder} үшін жоба әрекеті","sidebarElectron.worktreeGroupTooltip":"Бұл Git жұмыс ағашы","skills.appsPage.createSkill":"+ Жаңа дағды","skills.appsPage.empty.skills":"Дағдылар табылмады","skills.appsPage.search.skills":"Дағдыларды іздеу","skills.appsPage.search.skills.label":"Дағдыларды іздеу","skills.appsPage.section.installedApps":"Орнатылды","skills.appsPage.section.skills":"Дағдылар","skills.appsPage.subheading":"Codex қызметіне ерекше қабілеттер дарытыңыз. <link>Көбірек білу</link>","skills.appsPage.tab.recommended":"Ұсынылады","skills.appsPage.tab.skills":"Дағдылар","skills.card.contentsError":"Дағды мазмұнын жүктеу мүмкін емес.","skills.card.disable":"Өшіру","skills.card.disableSuccess":"{skillName} дағды өшірілді","skills.card.disabledBadge":"Өшірілді","skills.card.enable":"Қосу","skills.card.enableSuccess":"{skillName} дағды қосылды","skills.card.loadingContents":"Дағды мазмұны жүктелуде...","skills.card.more":"Қосымша әрекеттер","skills.card.open":"Ашу","skills.card.removeFailed":"Дағдыны жою мүмкін болмады","skills.card.removeSuccess":"{skillName} дағды жойылды","skills.card.toggleEnabledError":"Дағды жаңартылмады","skills.card.try":"Байқап көру","skills.card.trySkill":"Дағдыны байқап көру","skills.card.uninstall":"Жою","skills.hero.dotLabel":"{index}-слайдқа өту","skills.hero.next":"Келесі ерекшеленген дағды","skills.hero.trySkill":"Дағдыны байқап көру","skills.page.createSkill":"+ Жаңа дағды","skills.page.empty":"Дағдылар табылмады","skills.page.filteredEmpty":"Сүзгілерге сәйкес дағдылар жоқ","skills.page.filteredEmptyDescription":"Іздеуді немесе ауқым сүзгілерін реттеп көріңіз","skills.page.heading":"Дағдылар","skills.page.loading":"Дағдылар жүктелуде...","skills.page.refreshSkills":"Жаңарту","skills.page.refreshSkillsToUseNew":"Жаңа дағды пайдалану үшін жаңарту","skills.page.search":"Дағдыларды іздеу","skills.page.search.label":"Дағдыларды іздеу","skills.page.subheading":"Codex қызметіне ерекше қабілеттер дарытыңыз. <link>Көбірек білу</link>","skills.preview.copyPrompt":"Сұрауды көшіру","skills.preview.examplePrompt":"Мысал үлгісі","skills.recommended.error":"Ұсынылған дағдыларды жүктеу мүмкін емес","skills.recommended.install":"Орнату","skills.recommended.installSkill":"Дағды орнату","skills.recommended.installSuccess":"{skillName} дағды орнатылды","skills.recommended.installed":"Орнатылды","skills.scope.admin":"Әкімші","skills.scope.adminInstalled":"Әкімші орнатылды","skills.scope.builtIn":"Жүйе","skills.scope.personal":"Жеке","skills.scope.repo":"Репозиторий","skills.scope.system":"Жүйе","skills.scope.team":"Команда","skills.scope.user":"Пайдаланушы","skills.section.installed":"Орнатылды","skills.section.recommended":"Ұсынылады","story.slidingToggle.existing":"Бар","story.slidingToggle.fromLocal":"Жергіліктіден","story.slidingToggle.new":"Жаңа","story.slidingToggle.toLocal":"Жергіліктіге","terminal.close":"Терминалды жабу","terminal.title":"Терминал","thinkingShimmer.default":"Ойлануда","threadEnvIcon.cloudTooltip":"Бұл сұхбат Codex Cloud бұлтты ортасында жүргізіледі.","threadEnvIcon.localTooltip":"Бұл талқылау құрылғыда жұмыс істеп тұр.","threadEnvIcon.worktreeTooltip":"Бұл талқылау жергілікті Git жұмыс ағашында жұмыс істеп тұр.","threadHeader.archiveConfirmCancel":"Бас тарту","threadHeader.archiveConfirmConfirm":"Мұрағаттау","threadHeader.copySessionId":"Сеанс идентификаторын көшіру","threadHeader.copyWorkingDirectory":"Жұмыс каталогін көшіру","threadHeader.forkIntoLocal":"Жергілікті тармақтау","threadHeader.forkIntoWorktree":"Жаңа жұмыс ағашына тармақтау","threadHeader.forkPendingWorktreePrompt":"Осы әңгімені жаңа жұмыс ағашына тармақтау","threadHeader.forkPendingWorktreeTitle":"Тармақталған әңгіме","threadHeader.forkThreadError":"Тізбек тармақтарға бөлінбеді","threadHeader.forkThreadRequiresGitRepo":"Жаңа жұмыс ағашында тармақ жасау үшін Git репозиторийі қажет","threadHeader.moreActions":"Тізбек әрекеттері","threadPage.newThread":"Жаңа тізбек","threadPage.runAction.changeEnvironment":"Ортаны өзгерту","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} әрекет","threadPage.runAction.environmentSelector.label":"Ортаны таңдау","threadPage.runAction.label":"Іске қосу","threadPage.runAction.missing.label":"Іске қосу әрекетін орнату","threadPage.runAction.setup.commandLabel":"Іске қосу пәрмені","threadPage.runAction.setup.description":"Codex қызметіне тәуелділікті қалай орнату керектігін және қолданбаны қалай іске қосу керектігін көрсетіңіз.","threadPage.runAction.setup.editMore":"Орта параметрлері","threadPage.runAction.setup.placeholder":"мысалы: npm install npm run","threadPage.runAction.setup.submit":"Сақтау және іске қосу","threadPage.runAction.setup.title":"Іске қосу","threadPage.runAction.tooltip.withEnvironment":"{environmentName} әрекет","threadPage.toggleDiffPanel":"Diff тақтасын қосу/өшіру","threadPage.toggleTerminal":"Терминалды ауыстыру","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Қалтаны ашу","toolSummaryForCmd.exploredFiles":"<verb>Тізімделген</verb> файлдар","toolSummaryForCmd.exploredFilesInPath":"{path} ішінде <verb>тізімделген</verb>","toolSummaryForCmd.exploringFiles":"Файлдарды <verb>тізімделуде</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} ішінде файлдарды <verb>тізімделуде</verb>","toolSummaryForCmd.ranGenericCommand":"<status>Пәрмен орындалды</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Іске қосылды</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Оқу</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Пәрмен орындалуда</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} үшін","toolSummaryForCmd.searchedFor":"{query} <verb>ізделінді</verb>","toolSummaryForCmd.searchedForFiles":"Файлдар <verb>ізделді</verb>","toolSummaryForCmd.searchedForInPath":"{path} ішінде {query} <verb>ізделді</verb>","toolSummaryForCmd.searchingFor":"{query} <verb>ізделуде</verb>","toolSummaryForCmd.searchingForFiles":"Файлдар <verb>ізделуде</verb>","toolSummaryForCmd.searchingForInPath":"{path} ішінде {query} <verb>ізделуде</verb>","traceRecording.startDetails.cancel":"Бас тарту","wham.diff.addComment":"Пікірлер қосу","wham.diff.binaryFile":"Бинарлық файл көрсетілмейді","wham.diff.noContent":"Контент жоқ","wham.fileTag.deleted":"Жойылды","wham.fileTag.new":"Жаңа","wham.formattedRelativeDateTime.compactDaysAgo":"{value} күн","wham.formattedRelativeDateTime.compactHoursAgo":"{value} сағ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} мин","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} ай","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} апта","wham.formattedRelativeDateTime.compactYearsAgo":"{value} жыл","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Тапсырмаңыз орындалып жатыр","wham.whamProposedTask.title":"Ұсынылған тапсырма","wham.whamProposedTask.useSuggestion":"Ұсынысты пайдалану","workspaceRootDialog.addError":"Жоба қосылмады","workspaceRootDialog.cancel":"Бас тарту","workspaceRootDialog.confirmAdd":"Жоба қосу","workspaceRootDialog.confirmPick":"Жобаны пайдалану","workspaceRootDialog.description":"Жоба ретінде пайдалану үшін {host} ішінен жолды енгізіңіз.","workspaceRootDialog.pathLabel":"Жоба жолы","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Жоба жолын қосу","workspaceRootDialog.title.pick":"Жоба жолын таңдау","worktreeInitV2.cancel":"Бас тарту","worktreeInitV2.notification.failedTitle":"Жұмыс ағашы орнатылмады","worktreeInitV2.output.empty":"Нәтижені күтуде...","worktreeInitV2.status.error":"Жұмыс ағашы орнатылмады.","worktreeInitV2.status.running":"Жұмыс ағашын жасауда және орнатуды іске қосуда.","worktreeInitV2.status.runningFork":"Осы әңгімеден тармақ жасау үшін жұмыс ағашы жасалуда.","worktreeInitV2.status.success":"Жұмыс ағашы дайын.","worktreeInitV2.title":"Жұмыс ағашы жасалуда","worktreeInitV2.workLocallyInstead":"Орнына жергілікті жұмыс істеу","worktreeRestoreBanner.body":"Диск кеңістігін сақтау үнемдеу үшін бұл тізбектің жұмыс ағашы жойылды","worktreeRestoreBanner.missing.body":"Бұл тізбектің жұмыс каталогі енді жоқ","worktreeRestoreBanner.missing.title":"Ағымдағы жұмыс каталогі жоқ","worktreeRestoreBanner.restore.error":"Жұмыс ағашын қалпына келтіру мүмкін емес: {message}","worktreeRestoreBanner.restore.success":"Жұмыс ағашы қалпына келтірілмеді","worktreeRestoreBanner.restoreCta":"Жұмыс ағашын қалпына келтіру","worktreeRestoreBanner.title":"Жұмыс ағашы тазаланды"};export{e as default};
+const e={"CopyButton.copyTooltip":"Көшіру","app.sidebar.hide":"Бүйірлік тақтаны жасыру","app.sidebar.show":"Бүйірлік тақтаны көрсету","app.sidebar.tooltip":"Бүйірлік тақтаны ауыстыру","appHeader.installUpdate":"Жаңарту","appSunset.body":"Қолданбаның бұл нұсқасына енді қолдау көрсетілмейді. Ең соңғы нұсқасын <here>мына жерден</here> жүктеп алыңыз.","appSunset.title":"Жаңарту қажет","automation.updateDirective.create":"Жасау","automation.updateDirective.open":"Ашу","automation.updateDirective.untitled":"Тақырыпсыз автоматтандыру","automation.updateDirective.update":"Жаңарту","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# мүмкіндік} other {# мүмкіндік}}","cloudTaskRow.archiveError":"Тапсырманы мұрағаттау мүмкін болмады","code.diff.requestChange":"Өзгеріс сұрау","code.diffComment.cancel":"Бас тарту","code.diffComment.comment":"Пікір","code.diffComment.delete":"Жою","code.diffComment.save":"Сақтау","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Ешқандай іздеулерге шағым жасалған жоқ.","codex.alert.closeAriaLabel":"Жабу","codex.appUpsellBanner.cbpApi.message":"Codex қолданбасымен жылдамырақ құрыңыз. Қазір жүктеп алыңыз немесе {learnMoreLink}.","codex.appUpsellBanner.download":"Жүктеп алу","codex.appUpsellBanner.freeGo.message":"Codex 2 наурызға дейін тарифтік жоспарыңызға енгізілген. Құрастыру процесін жылдамдату үшін Codex қолданбасын қолданып көріңіз.","codex.appUpsellBanner.later":"Кейінірек","codex.appUpsellBanner.learnMoreLowercase":"көбірек білу","codex.appUpsellBanner.new":"Жаңа","codex.appUpsellBanner.proPlusBusiness.message":"2 сәуірге дейін лимиті екі есе көп Codex қолданбасын қолданып көріңіз. Қазір жүктеп алыңыз немесе {learnMoreLink}.","codex.appUpsellBanner.title":"Codex қолданбасы","codex.applyDropdown.header.changes":"Өзгерістер","codex.applyDropdown.header.fileCount":"{count, plural, one {# файл} other {# файл}}","codex.applyDropdown.header.rows":"қатар","codex.applyDropdown.header.title":"Өзгертулерді қолдану","codex.applyDropdown.header.workspace":"Жоба","codex.applyDropdown.results.conflicted":"{count, plural, one {1 файл сәйкес келмейді:} other {{count} файл сәйкес келмейді:}}","codex.applyDropdown.results.empty":"Файлдар көшірілмеді","codex.applyDropdown.results.skipped":"{count, plural, one {1 файл өткізілді:} other {{count} файл өткізілді:}}","codex.applyOrRevertBanner.apply":"Қолдану","codex.applyOrRevertBanner.applyMessage":"Өзгерістерді қолданып, құрылғыдан жалғастыру керек пе?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Бұл тапсырма {environment} ішінде орындалды, сондықтан ол дұрыс қолданылмауы мүмкін.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment} ішінде жасалған өзгерістер дұрыс қолданылмауы мүмкін.","codex.applyOrRevertBanner.reapply":"Қайта қолдану","codex.applyOrRevertBanner.revert":"Қайтару","codex.applyOrRevertBanner.revertMessage":"Жасалған өзгерістерді қайтару керек пе?","codex.applyResultsDialog.applied":"Дұрыс қолданылды ({count})","codex.applyResultsDialog.close":"Жабу","codex.applyResultsDialog.conflicted":"Сәйкес келмейді ({count})","codex.applyResultsDialog.noDetails":"Файл туралы мәліметтер жоқ.","codex.applyResultsDialog.skipped":"Өткізіп жіберілді ({count})","codex.applyResultsDialog.title":"Нәтижелерді қолдану","codex.archiveInfo":"Мұрағатталған чаттарды {dataControlsLink} ішінен көру","codex.archiveInfo.dataControlsLink":"Деректер басқару элементтері","codex.archiveInfo.electron":"Мұрағатталған чаттарды {settingsLink} ішінен көру","codex.archiveInfo.extension":".codex қалтасындағы мұрағатталған чаттарды көріңіз.","codex.archiveInfo.settingsLink":"Параметрлер","codex.banner.content.description":"Тапсырмаларды қатар орындап, кез келген жерде орындалу барысын қадағалап, ЖИ көмегімен сұрауларды қарап шығыңыз.","codex.banner.content.headline":"Codex мұның бәрін жасайды.","codex.cloudTaskRow.archiveTask":"Тапсырманы мұрағаттау","codex.cloudTaskRow.confirmArchiveTask":"Растау","codex.command.feedback":"Пікір","codex.command.findInThread":"Табу","codex.command.forceReloadSkills":"Дағдыларды күштеп жүктеу","codex.command.logOut":"Шығу","codex.command.manageTasks":"Тапсырмаларды басқару","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Артқа","codex.command.navigateForward":"Алға","codex.command.newThread":"Жаңа тізбек","codex.command.nextThread":"Келесі тізбек","codex.command.openFolder":"Қалтаны ашу","codex.command.openSkills":"Дағдыларға өту","codex.command.openThreadOverlay":"Қалқымалы тізбек","codex.command.personalitySettings":"Даралық","codex.command.previousThread":"Алдыңғы тізбек","codex.command.settings":"Параметрлер","codex.command.toggleDiffPanel":"Diff тақтасын қосу/өшіру","codex.command.toggleSidebar":"Бүйірлік тақтаны ауыстыру","codex.command.toggleTerminal":"Терминалды ауыстыру","codex.commandGroup.app":"Қолданба","codex.commandGroup.configure":"Конфигурациялау","codex.commandGroup.navigation":"Навигация","codex.commandGroup.panels":"Панельдер","codex.commandGroup.skills":"Дағдылар","codex.commandGroup.thread":"Thread","codex.commandGroup.workspace":"Жоба","codex.commandMenu.noResults":"Сәйкестік табылмады","codex.commandMenu.searchPlaceholder":"Іздеу пәрмендері","codex.commandMenu.suggestedGroup":"Ұсынылған","codex.commandMenu.switchWorkspace":"Жобаны ауыстыру","codex.commandMenu.title":"Пәрмен мәзірі","codex.common.retry":"Қайталау","codex.composer.searchBranches":"Тармақтарды іздеу","codex.dialog.basic.body":"Бұл Radix Dialog жасақтамамыз қолданылған қарапайым модалды диалог.","codex.dialog.basic.cancel":"Бас тарту","codex.dialog.basic.confirm":"Растау","codex.dialog.basic.open":"Диалог ашу","codex.dialog.basic.title":"Диалог үлгісі","codex.dialog.long.close":"Жабу","codex.dialog.long.line":"Диалогтік терезенің ішінде ұзын мазмұнды көрсетуге арналған {index} айналдырмалы жолақ.","codex.dialog.long.open":"Ұзақ диалогты ашыңыз","codex.dialog.long.title":"Ұзақ мазмұнды диалог","codex.dialog.unstyled.body":"Бұл оқиғада абоненттер сұхбат мазмұнын рәсімдеу стилін қалай толығымен басқара алатыны көрсетілген.","codex.dialog.unstyled.open":"Стильдерсіз сұхбат терезесін ашу","codex.dialog.unstyled.title":"Стильсіз мазмұн","codex.diff.openInEditorPrompt.openButton":"Редакторда ашу","codex.diff.openInEditorPrompt.singleLine":"Бұл файл осында көрсетілуі үшін тым үлкен.","codex.diffView.failedToDecodeBase64Diff":"base64 дифференциалын кодсыздандыру мүмкін болмады","codex.diffView.filesChanged":"{fileCount, plural, one {# файл өзгерді} other {# файл өзгертілді}}","codex.diffView.imagePreviewAlt":"Суретті алдын ала қарау","codex.diffView.imagePreviewEmpty":"Суреттер жоқ","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Дифференциал деректері жоқ","codex.diffView.pdfPreview.nextPage":"Келесі бет","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Алдыңғы бет","codex.diffView.pdfPreviewEmpty":"PDF алдын ала көрінісі жоқ","codex.diffView.pdfPreviewError":"PDF алдын ала көрінісін рендерлеу мүмкін емес","codex.diffView.richPreviewDisable":"Кеңейтілген алдын ала қарауды өшіру","codex.diffView.richPreviewEnable":"Кеңейтілген алдын ала қарауды қосу","codex.diffView.richPreviewLoading":"Алдын ала қарауды жүктеу...","codex.diffView.richPreviewToggle":"Кеңейтілген алдын ала қарауды қосу/өшіру","codex.diffView.switchToUnified":"Біріктірілген дифференциалға ауысу","codex.environmentSelector.noEnvironment":"Орталар жоқ","codex.environments.environmentSettings":"Орта параметрлері","codex.environments.learnMore":"Көбірек білу","codex.environments.listError":"Орталар жүктелмеді.","codex.environments.noEnvironmentsFound":"Eшқандай орта табылмады","codex.environments.searchError":"Орталарды іздеу мүмкін болмады.","codex.errorBoundary.genericError":"Ой, белгісіз қате шықты","codex.errorBoundary.goHome":"Қайталап көр","codex.file.patch.missing":"Бұл файл үшін патч жасау мүмкін емес.","codex.gallery.automations.cwdLabel":"Жобалар","codex.gallery.automations.nameLabel":"Аты","codex.gallery.automations.namePlaceholder":"Тапсырманы қорытындылау","codex.gallery.automations.promptLabel":"Көмексөз","codex.gallery.automations.promptPlaceholder":"Codex не істеу керектігін сипаттаңыз","codex.gallery.dialogs.automation.label":"Автоматтандыру диалогі","codex.gallery.dialogs.basic.body":"Осы орналасуды тікелей растауларға немесе қысқа формаларға пайдаланыңыз.","codex.gallery.dialogs.basic.cancel":"Бас тарту","codex.gallery.dialogs.basic.confirm":"Растау","codex.gallery.dialogs.basic.label":"Негізгі диалогтар","codex.gallery.dialogs.basic.title":"Диалог үлгісі","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Мәселені сипаттап беріңіз","codex.gallery.dialogs.feedbackSubmission.bad":"Нашар нәтиже","codex.gallery.dialogs.feedbackSubmission.bug":"Қате","codex.gallery.dialogs.feedbackSubmission.good":"Жақсы нәтиже","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Ағымдағы Codex сеанс журналдарын қосу","codex.gallery.dialogs.feedbackSubmission.label":"Пікір жіберу","codex.gallery.dialogs.feedbackSubmission.other":"Басқа","codex.gallery.dialogs.feedbackSubmission.placeholder":"Мәселені мұнда сипаттап беріңіз","codex.gallery.dialogs.feedbackSubmission.submit":"Жіберу","codex.gallery.dialogs.feedbackSubmission.title":"Пікір","codex.gallery.dialogs.feedbackSuccess.body":"Пікір жүктеп салынды. Егер мәселе шешілмесе, GitHub мәселесін ашыңыз немесе бар ашық мәселеде тізбек идентификаторын атап өтіңіз:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Жабу","codex.gallery.dialogs.feedbackSuccess.label":"Пікір сәтті жіберілді","codex.gallery.dialogs.feedbackSuccess.title":"Пікір жүктеп салынды","codex.gallery.dialogs.gitApplyResults.applied":"Дұрыс қолданылды (2)","codex.gallery.dialogs.gitApplyResults.close":"Жабу","codex.gallery.dialogs.gitApplyResults.conflicted":"Қайшылық шықты (1)","codex.gallery.dialogs.gitApplyResults.label":"Нәтижелерді қолдану","codex.gallery.dialogs.gitApplyResults.title":"Нәтижелерді қолдану","codex.gallery.dialogs.gitPushError.body":"Соңғы өзгертулерді шығарып алыңыз немесе қашықтағы журналдың үстінен жазу қауіпсіз екенін білсеңіз күшпен жіберіңіз.","codex.gallery.dialogs.gitPushError.cancel":"Бас тарту","codex.gallery.dialogs.gitPushError.force":"Мәжбүрлі жіберу","codex.gallery.dialogs.gitPushError.label":"Жіберу қатесі","codex.gallery.dialogs.gitPushError.subtitle":"Тармақ бастапқының/негізгінің артында.","codex.gallery.dialogs.gitPushError.title":"Өзгертулер жіберілмеді","codex.gallery.dialogs.gitRevert.cancel":"Бас тарту","codex.gallery.dialogs.gitRevert.confirm":"Қайтару","codex.gallery.dialogs.gitRevert.label":"Өзгертулерді қайтару","codex.gallery.dialogs.gitRevert.skip":"Қайта сұрамау","codex.gallery.dialogs.gitRevert.subtitle":"Бұл әрекет осы өзгертулердің барлығын жояды.","codex.gallery.dialogs.gitRevert.title":"Өзгертулерді қайтару керек пе?","codex.gallery.dialogs.longForm.label":"Кеңейтілген пішіндегі диалог","codex.gallery.dialogs.proseModal.body":"Бұл модальдік терезе стилі ұзағырақ нұсқаулар, өніммен танысу немесе кеңейтілген мазмұнды блоктар үшін қолданылады.","codex.gallery.dialogs.proseModal.close":"Жабу","codex.gallery.dialogs.proseModal.subtitle":"Мұнда неғұрлым егжей-тегжейлі нұсқаулықтарды немесе құжаттаманы орналастыруға болады.","codex.gallery.dialogs.proseModal.title":"Прозалық модал","codex.gallery.dialogs.submitBlocked.label":"Жіберу бұғатталған","codex.gallery.dialogs.submitBlocked.message":"Хабарыңызды жіберу мүмкін емес, себебі жоба жоқ.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Хабар жіберу мүмкін емес","codex.gallery.dialogs.title":"Диалогтар","codex.gallery.dropdown.filterPlaceholder":"Элементтерді сүзгілеу","codex.gallery.dropdowns.actionRow":"Әрекет қатарлары","codex.gallery.dropdowns.actionRow.disabled":"Өшірілген әрекет","codex.gallery.dropdowns.actionRow.primary":"Негізгі әрекет","codex.gallery.dropdowns.actionRow.secondary":"Қосымша әрекет","codex.gallery.dropdowns.actionRow.trigger":"Әрекеттерді көрсету","codex.gallery.dropdowns.basic":"Негізгі төменге жайылатын тізім","codex.gallery.dropdowns.basic.newFile":"Жаңа файл","codex.gallery.dropdowns.basic.newFolder":"Жаңа папка","codex.gallery.dropdowns.basic.openSettings":"Параметрлерді ашу","codex.gallery.dropdowns.basic.title":"Жылдам әрекеттер","codex.gallery.dropdowns.basic.trigger":"Мәзірді ашу","codex.gallery.dropdowns.basic.upload":"Жүктеп салу","codex.gallery.dropdowns.panel":"Панель беті","codex.gallery.dropdowns.panel.apply":"Қолдану","codex.gallery.dropdowns.panel.body":"Айырмашылықтарды тексеріп, жобаға қолданыңыз.","codex.gallery.dropdowns.panel.preview":"Алдын ала қарау","codex.gallery.dropdowns.panel.title":"Өзгертулерді қолдану","codex.gallery.dropdowns.panel.trigger":"Панельді ашу","codex.gallery.dropdowns.search":"Іздеуге болатын төмен жайылмалы тізім","codex.gallery.dropdowns.search.first":"Альфа арнасы","codex.gallery.dropdowns.search.second":"Бета тармағы","codex.gallery.dropdowns.search.third":"Үміткерді босату","codex.gallery.dropdowns.search.trigger":"Элементтерді сүзгілеу","codex.gallery.dropdowns.submenu":"Қосалқы мәзірі бар төмен жайылмалы тізім","codex.gallery.dropdowns.submenu.optionA":"Альфа жобасы","codex.gallery.dropdowns.submenu.optionB":"Бета жобасы","codex.gallery.dropdowns.submenu.optionC":"Гамма жобасы","codex.gallery.dropdowns.submenu.primary":"Иесін тағайындау","codex.gallery.dropdowns.submenu.secondary":"Жылжыту орны","codex.gallery.dropdowns.submenu.tertiary":"Мұрағаттау","codex.gallery.dropdowns.submenu.trigger":"Әрекетті таңдаңыз","codex.gallery.dropdowns.title":"Төмен жайылатын тізім","codex.gallery.inbox.automations.close":"Жабу","codex.gallery.inbox.automations.popover.cardTitle":"Автоматтандыруларды басқару","codex.gallery.inbox.automations.popover.dialogTitle":"Автоматтандыруларды басқару","codex.header.settingsTooltip":"Параметрлер","codex.hunk.patch.error":"Индекстелмеді","codex.hunk.patch.missing":"Бұл үзінді үшін патч жасау мүмкін емес.","codex.hunk.patch.partialSuccess":"Ішінара индекстелді","codex.hunk.patch.revertError":"Индекстен шығарылмады","codex.hunk.patch.revertSuccess":"Индекстен шығарылды","codex.hunk.patch.success":"Индекстелді","codex.legal.autonomy.details":"Қосымша деректерді {link} ішінен қараңыз","codex.legal.autonomy.details.link":"Codex құжаттары","codex.legal.autonomy.title":"Қанша дербестік бергіңіз келетінін анықтаңыз","codex.legal.backButton":"Артқа","codex.legal.cloud.taskOne.meta":"openai/agi · 12 қаз","codex.legal.cloud.taskOne.title":"Жаңа дизайнерге репозиторийді түсіндіріңіз","codex.legal.cloud.taskThree.meta":"openai/codex · 8 қаз","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Күңгірт тақырып жасаңыз","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 қаз","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Тіркелу кезіндегі қатені түзетіңіз","codex.legal.continue.apikey":"Жалғастыру","codex.legal.continueButton":"Келесі","codex.legal.copilot.details":"Барлық үлгілік қоңыраулар, шот ұсыну және тарифтік шектеулер үшін Copilot жоспарыңызды пайдаланады. Codex кеңейтімін пайдалану {oaiTos} және {gitHubTos} реттеуіне жатады.","codex.legal.copilot.gitHubTosLink":"GitHub қызмет көрсету шарттары","codex.legal.copilot.oaiTosLink":"OpenAI Codex қызмет көрсету шарттары","codex.legal.copilot.title":"GitHub Copilot арқылы жасалған","codex.legal.mistakes.review":"Ол жазатын кодты және ол орындайтын пәрмендерді қараңыз","codex.legal.mistakes.title":"Codex қате жіберуі мүмкін","codex.legal.powered.details":"Жоспарыңыздың шектеулерін және {link}","codex.legal.powered.details.link":"оқыту деректерінің қалауларын пайдаланады","codex.legal.powered.title":"ChatGPT аккаунтыңызға негізделген","codex.legal.step.cloud.subtitle":"Тапсырмаларды Codex жүйесіне фондық режимде орындауға жіберіп, өз жұмысыңызға толық назар аударып, жылдам ілгерілей аласыз.","codex.legal.step.cloud.title":"Бұлттағы Codex жүйесіне тапсырыңыз","codex.legal.step.intro.subtitle":"Codex репозиторийңізді тікелей шарлап, өзгертулер енгізіп, пәрмендерді іске қосады және сынақтар орындайды. Ол ChatGPT аккаунтыңыздың мүмкіндіктеріне сүйеніп жұмыс істейді.","codex.legal.step.intro.title":"IDE ішіндегі Codex","codex.legal.step.todo.subtitle":"TODO пікірін жазып, оны бір рет басу арқылы Codex тапсырмасына айналдырыңыз.","codex.legal.step.todo.title":"TODO пікірлерін Codex тапсырмаларына айналдырыңыз","codex.legal.todo.heading":"// TODO: схеманы іске асыру","codex.localConversation.closeImagePreview":"Кескінді алдын ала қарау бетін жабу","codex.localConversation.userImageAttachment":"Пайдаланушы тіркемесі","codex.localTaskRow.archiveTask":"Тізбекті мұрағаттау","codex.localTaskRow.awaitingApproval":"Мақұлдауды күтуде","codex.localTaskRow.awaitingResponse":"Жауапты күтуде","codex.localTaskRow.confirmArchiveTask":"Растау","codex.loggedOut.apiKeyPrompt.cancel":"Бас тарту","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"API кілтін алу","codex.loggedOut.apiKeyPrompt.inputLabel":"OpenAI API кілтін енгізіңіз","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Бұлттық тапсырмалар API кілтімен өшірілген","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Бұлттық тапсырмалар Copilot және API кілтімен өшірілген","codex.loggedOut.signIn":"ChatGPT арқылы тіркелу","codex.loggedOut.signIn.cancel":"Кіруді болдырмау","codex.loggedOut.signInWithCopilot":"GitHub Copilot арқылы тіркелу","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API кілтін пайдалану","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} құралы","codex.mcpTool.collapsedLabel.verb.called":"Шақытылды","codex.mcpTool.collapsedLabel.verb.calling":"Қоңырау шалуда","codex.mcpTool.embeddedResource.contentLabel":"Контент","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME түрі","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Құрал ешқандай мазмұн қайтармады","codex.mcpTool.rawPayloadHeading":"Бастапқы {server}.{tool} құралын шақырудың пайдалы жүктемесі","codex.menu.recent":"Соңғы","codex.menu.seeAllHistory":"Барлық журналды көру","codex.modelCapacityBanner.headline.noReset":"{modelName} қазір максималды сыйымдылығына жетті. Әрекетті кейін қайталаңыз немесе басқа модельмен жаңа әңгіме бастаңыз.","codex.modelCapacityBanner.headline.withReset":"{modelName} қазір максималды сыйымдылығына жетті. {resetDate} өткен соң қайталаңыз немесе .басқа модельмен жаңа әңгіме бастаңыз.","codex.modelCapacityBanner.title":"Таңдалған модель сыйымдылығына жетті","codex.patch.change.contentsDeleted":"Мазмұны жойылды","codex.patch.change.created":"Жасалды","codex.patch.change.created-file":"Файл жасалды","codex.patch.change.creating":"Жасалуда","codex.patch.change.deleted":"Жойылды","codex.patch.change.deleted-file":"Файл жойылды","codex.patch.change.deleting":"Жойылуда","codex.patch.change.edited":"Өзгертілді","codex.patch.change.edited-file":"Өңделген файл","codex.patch.change.editing":"Өңдеуде","codex.patch.change.noChanges":"Өзгерістер жоқ","codex.patch.change.rejected-add":"Қабылданбады","codex.patch.change.rejected-delete":"Қабылданбады","codex.patch.change.rejected-edit":"Қабылданбады","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed}/{total} тапсырма орындалды","codex.plan.todoListCreated":"{total} тапсырмадан жасалған істер тізімі","codex.profileDropdown.apiKeyAuth":"API кілтімен кірілді","codex.profileDropdown.codexSettings":"Codex параметрлері","codex.profileDropdown.copilotAuth":"Copilot көмегімен кірілді","codex.profileDropdown.defaultAccountTitle":"Әдепкі аккаунт","codex.profileDropdown.enterBehavior":"Ұзын көмексөздер жіберу үшін: «{modifierSymbol} + enter »","codex.profileDropdown.enterBehaviorError":"Параметр жаңартылмады","codex.profileDropdown.getPlus":"Шектерді жоғарылату үшін жоспарды жаңартыңыз","codex.profileDropdown.keyboardShortcuts":"Пернетақта белгішелері","codex.profileDropdown.language":"Тіл","codex.profileDropdown.languageDefault":"Автоматты анықтау","codex.profileDropdown.languageSearchPlaceholder":"Тілдерді іздеу","codex.profileDropdown.languageUpdateError":"Тіл жаңартылмады","codex.profileDropdown.logOut":"Шығу","codex.profileDropdown.mcp":"MCP параметрлері","codex.profileDropdown.openConfigToml":"config.toml ашу","codex.profileDropdown.openConfigToml.wsl":"WSL ортасында config.toml ашу","codex.profileDropdown.openExtensionSettings":"Параметрлерді ашу","codex.profileDropdown.openMcpSettings":"MCP параметрлерін ашу","codex.profileDropdown.openOnStartup":"Іске қосқан кезде ашу","codex.profileDropdown.openOnStartupError":"Параметр жаңартылмады","codex.profileDropdown.openSkillsSettings":"Дағдылар параметрлерін ашу","codex.profileDropdown.personalAccountTitle":"Жеке аккаунт","codex.profileDropdown.queueFollowUps":"Кезекті қадағалау","codex.profileDropdown.queueFollowUpsError":"Параметр жаңартылмады","codex.profileDropdown.readDocs":"Құжаттарды оқу","codex.profileDropdown.readSkillsDocs":"Құжаттарды оқу","codex.profileDropdown.runInWsl":"WSL ішінде іске қосу","codex.profileDropdown.runInWslError":"Параметр жаңартылмады","codex.profileDropdown.runInWslTooltip":"WSL ішінде Codex қосады. Құмсалғыштың қауіпсіздігін жақсарту және өнімділікті арттыру үшін ұсынылады.","codex.profileDropdown.settings":"IDE параметрлері","codex.profileDropdown.settingsPage":"Параметрлер","codex.profileDropdown.signInWithOpenAI":"ChatGPT арқылы тіркелу","codex.profileDropdown.skills":"Дағдылар параметрлері","codex.profileDropdown.switchToCopilotAccount":"Copilot аккаунтын пайдалану","codex.profileDropdown.switchToOpenAIAccount":"OpenAI аккаунтын пайдалану","codex.profileDropdown.todoCodelens":"TODO пікірлерін түзету","codex.profileDropdown.todoCodelensError":"Параметр жаңартылмады","codex.profileDropdown.windowsDocumentation":"Windows құжаттары","codex.profileFooter.signedInFallback":"Параметрлер","codex.profileFooter.upgrade":"Жоспарды ауыстыру","codex.recentTasksMenu.clearSearch":"Іздеуді тазалау","codex.recentTasksMenu.cloud":"Бұлттық тапсырмалар","codex.recentTasksMenu.count":"{count, plural, =0 {Орындалып жатқан тапсырма жоқ} one {# тапсырма орындалуда} other {# тапсырма орындалуда}}","codex.recentTasksMenu.empty":"Әзірге тізбектер жоқ","codex.recentTasksMenu.errorCloud":"Тапсырмалар жүктелмеді.","codex.recentTasksMenu.errorCloud.inline":"Бұлттық тапсырмалар жүктелмеді.","codex.recentTasksMenu.filterAll":"Барлығы","codex.recentTasksMenu.filterCloudTasks":"Бұлттық тапсырмалар сүзгіден өткізілді","codex.recentTasksMenu.filterTooltip":"Тапсырмаларды ортаға қарай сүзгілеңіз","codex.recentTasksMenu.local":"Құрылғыдағы тапсырмалар","codex.recentTasksMenu.recent":"Барлық тапсырмалар","codex.recentTasksMenu.search":"Соңғы тапсырмаларды іздеу","codex.recentTasksMenu.searchEmpty":"Нәтиже жоқ","codex.recentTasksMenu.tooltip":"Тапсырмалар журналы","codex.recentTasksMenu.trigger":"Соңғы тапсырмалар. {count, plural, one {# орындалуда} other {# орындалуда}}","codex.remoteConversation.applyDiff.applyCta":"Өзгертулерді қолдану","codex.remoteConversation.applyDiff.dropdownTitle":"Өзгертулерді жергілікті тармаққа қолдану","codex.remoteConversation.applyDiff.revertCta":"Өзгертулерді қайтару","codex.remoteConversation.closeImagePreview":"Кескінді алдын ала қарау бетін жабу","codex.remoteConversation.codexCloudTask":"<u>Codex бұлттық</u> тапсырмасын көріп жатырсыз","codex.remoteConversation.errorWithMessage":"Қате: {message}","codex.remoteConversation.loadingImage":"Сурет жүктелуде","codex.remoteConversation.openInWeb":"Веб-сайтта ашу","codex.remoteConversation.streaming":"Жұмысты бастау","codex.remoteConversation.turnFailed":"Бұл тапсырманы орындау кезінде қате орын алды","codex.remoteConversation.turnTab.loading":"{number} әрекет","codex.remoteConversation.turnTab.title":"{number} әрекет","codex.remoteConversation.userImageAttachment":"Пайдаланушы тіркемесі","codex.remoteConversation.viewPreviousTurns":"Веб-сайтта ашу","codex.remoteConversation.viewPreviousTurns.buttonText":"Ашу","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Веб-сайтта ашу","codex.review.copyGitApplyCommand":"git apply пәрменін көшіру","codex.review.copyGitApplyCommand.toast":"git apply командасы алмасу буферіне көшірілді","codex.review.diffTooLarge.description":"Айырмашылық «Шолу» бетінде көрсетілуі үшін тым үлкен.","codex.review.diffTooLarge.title":"Айырмашылық көрсетілуі үшін тым үлкен.","codex.review.expandOrCollapseDiffButton.collapse":"Барлық айырмашылықтарды жию","codex.review.expandOrCollapseDiffButton.expand":"Барлық айырмашылықтарды жаю","codex.review.expandOrCollapseDiffMenu.collapse":"Барлық айырмашылықтарды жию","codex.review.expandOrCollapseDiffMenu.expand":"Барлық айырмашылықтарды жаю","codex.review.fileSearch.clear":"Сүзгі чипін тазалау","codex.review.fileSearch.empty":"Ағымдағы сүзгіге сәйкес келетін файлдар жоқ.","codex.review.fileSearch.label":"Файлдарды сүзу","codex.review.fileSearch.placeholder":"Файлдарды сүзу...","codex.review.filesChanged":"{num, plural, =0 {Ешқандай файлдар өзгертілмеді} one {# файл өзгертілді} other {# файл өзгертілді}}","codex.review.find.loadMore":"Басқа сәйкестікті жүктеу","codex.review.fullReview.hideFileTree":"Файл ағашын жасыру","codex.review.fullReview.showFileTree":"Файл ағашын көрсету","codex.review.header.moreOptions":"Шолу опциялары","codex.review.largeDiff.banner":"Айтарлықтай айырмашылық анықталды, файлдар бір-бірден көрсетілуде.","codex.review.loadFullFiles.disable":"Толық файлдарды жүктемеу","codex.review.loadFullFiles.enable":"Толық файлдарды жүктеу","codex.review.noDiff":"Файл өзгерістері осында пайда болады","codex.review.noDiff.gitInit.createRepository":"Git репозитрийін жасау","codex.review.noDiff.gitInit.creating":"Жасалуда…","codex.review.noDiff.gitInit.error":"Git іске қосылмады: {message}","codex.review.noDiff.gitInit.success":"Git репозиторийі жасалды","codex.review.noDiff.gitRepoRequired.description":"Осы жобада өзгертулерді қадағалау және болдырмау","codex.review.noDiff.gitRepoRequired.title":"Git репозитрийін жасау","codex.review.noDiff.orNoLongerAvailable":"немесе соңғы айырмашылықтар енді жоқ","codex.review.noDiff.reverted":"Соңғы бұрылыс кері қайтарылды","codex.review.noDiff.revertedOrCommitted":"Соңғы бұрылыс кері қайтарылды немесе жіберілді","codex.review.refreshGitQueries":"Жаңарту","codex.review.revert.file.error":"{path} қайтару мүмкін болмады","codex.review.revert.file.partialSuccess":"{path} ішінара қайтарылды","codex.review.revert.file.success":"{path} қайтарылды","codex.review.revert.hunk.error":"{path} ішіндегі {hunkNumber} үзінді қайтарылмады","codex.review.revert.hunk.partialSuccess":"{path} ішіндегі {hunkNumber} үзінді ішінара қайтарылды","codex.review.revert.hunk.success":"{path} ішіндегі {hunkNumber} үзінді қайтарылды","codex.review.revert.section.error":"Бөлім қайтарылмады","codex.review.revert.section.partialSuccess":"Бөлім ішінара қайтарылды","codex.review.revert.section.success":"Бөлім қайтарылды","codex.review.revertDialog.cancel":"Бас тарту","codex.review.revertDialog.confirm":"Растау","codex.review.revertDialog.message":"Бұл әрекет осы өзгертулердің барлығын жояды.","codex.review.revertDialog.skip":"Қайта сұрамау","codex.review.revertDialog.title":"Өзгертулерді қайтару керек пе?","codex.review.richPreview.disable":"Кеңейтілген алдын ала қарауды өшіру","codex.review.richPreview.enable":"Кеңейтілген алдын ала қарауды қосу","codex.review.source.cloud":"Бұлттағы өзгертулер","codex.review.source.local.all":"Барлық тармақ өзгерістері","codex.review.source.local.lastTurn":"Соңғы қадам өзгертулері","codex.review.source.local.uncommitted":"Жіберілмеген өзгертулер","codex.review.source.worktree":"Жіберілмеген жұмыс ағашының өзгерістері","codex.review.stageFilter.empty.staged.description":"Экранға орналастыру үшін өзгерістерді қабылдау","codex.review.stageFilter.empty.staged.title":"Кезеңдік өзгерістер жоқ","codex.review.stageFilter.empty.unstaged.description":"Код өзгерістері осында пайда болады","codex.review.stageFilter.empty.unstaged.title":"Индекстелмеген өзгерістер жоқ","codex.review.stageFilter.staged":"Индекстелген","codex.review.stageFilter.staged.count":"Индекстелген · {count}","codex.review.stageFilter.unstaged":"Индекстелмеген","codex.review.stageFilter.unstaged.count":"Индекстелмеген · {count}","codex.review.switchToSplit":"Бөлінген diff көрінісіне ауысу","codex.review.switchToUnified":"Біріктірілген дифференциалға ауысу","codex.review.toggleDiffView":"Diff көрінісін қосу/өшіру","codex.review.wordDiffs.disable":"Сөз айырм. өшіру","codex.review.wordDiffs.enable":"Сөз айырм. қосу","codex.review.wrap.disable":"Сөзді орауды өшіру","codex.review.wrap.enable":"Сөзді орауды қосу","codex.section.patch.missing":"Бұл бөлім үшін патч жасау мүмкін емес.","codex.shell.collapse":"Жасақтаманы жию","codex.shell.commandLine":"{command} $","codex.shell.copy.copiedTooltip":"Жасақтама мазмұны көшірілді","codex.shell.copy.copyTooltip":"Жасақтама мазмұнын көшіру","codex.shell.copyCommand":"Көшіру пәрмендері","codex.shell.copyOutput":"Шығысты көшіру","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Жасақтаманы жаю","codex.shell.name":"Shell","codex.shell.noOutput":"Нәтиже жоқ","codex.signInFailed.message":"Жүйеге кірілмеді: {rawMessage}","codex.stories.toast.show":"Тостты көрсету","codex.stories.tooltip.basic":"Бұл қалқымалы кеңес","codex.stories.tooltip.hoverMe":"Меңзерді маған бағытта","codex.stories.tooltip.largerOffset":"Бұл қалқымалы кеңес көбірек ығысқан","codex.stories.tooltip.offsetButton":"Көбірек ығысу","codex.stories.tooltip.shortcutButton":"Белгішемен","codex.stories.tooltip.withShortcut":"Терминалды ауыстыру","codex.taskRow.title":"Жаңа тізбек","codex.taskRowLayout.confirm":"Растау","codex.threadFindBar.chatFilter":"Чатты іздеу","codex.threadFindBar.close":"Нәтижені жабу","codex.threadFindBar.diffFilter":"Айырм. іздеу","codex.threadFindBar.label":"Тізбектен іздеу","codex.threadFindBar.nextResult":"Келесі нәтиже","codex.threadFindBar.noResults":"0 нәтиже","codex.threadFindBar.placeholder":"Тізбек іздеу…","codex.threadFindBar.placeholder.extension":"Тізбек іздеу…","codex.threadFindBar.placeholder.review":"Айырм. іздеу…","codex.threadFindBar.placeholder.review.extension":"Айырм. іздеу…","codex.threadFindBar.previousResult":"Алдыңғы нәтиже","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# файл өзгерді} other {# файл өзгертілді}}","codex.unifiedDiff.inlineLargeFile":"Қатарда көрсету үшін қатар тым үлкен","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Қайтару","codex.unifiedDiff.revertPatchError":"Өзгерістер қайтарылмады","codex.unifiedDiff.revertPatchSuccess":"Өзгерістер қайтарылды","codex.unifiedDiff.reviewChangesSuffix":"өзгерістер","codex.unifiedDiff.reviewShort":"Шолу","codex.unifiedDiff.viewDiffTooltip":"Шолу","codex.upsellBanner.business.headline":"Кіру рұқсатын кеңейту үшін әкімшіге сұрау жіберіңіз немесе {resetDate} дейін күтіңіз.","codex.upsellBanner.cbp.headline":"Кіру рұқсатын кеңейту үшін әкімшіге сұрау жіберіңіз.","codex.upsellBanner.cta.addCredits":"Кредиттер қосу","codex.upsellBanner.cta.upgradeAccount":"Жоспарды ауыстыру","codex.upsellBanner.cta.viewUsage":"Қолданысты көру","codex.upsellBanner.freeOrGo.headline":"Лимит шегі {resetDate} күні бастапқы күйге қайтарылады. Codex қолданбасын әрі қарай пайдалану үшін Plus жоспарына өтіңіз.","codex.upsellBanner.general.headline":"Лимитіңіз {resetDate} күні бастапқы күйге қайтарылады.","codex.upsellBanner.general.title":"Codex хабарларыңыз бітіп қалды","codex.upsellBanner.plus.headline":"Лимитіңіз {resetDate} күні бастапқы күйге қайтарылады. Codex қызметін әрі қарай пайдалану үшін, кредиттер қосыңыз немесе Pro жоспарына өтіңіз.","codex.upsellBanner.pro.headline":"Лимит шегі {resetDate} күні бастапқы күйге қайтарылады. Codex қолданбасын әрі қарай пайдалану үшін кредиттер қосыңыз.","codex.userMessage.autoResolveSync":"Қақтығыстарды автоматты шешу","codex.userMessage.commentCount":"{count, plural, one {# пікір} other {# пікір}}","codex.userMessage.copiedAriaLabel":"Көшірілді","codex.userMessage.copiedTooltip":"Көшірілді","codex.userMessage.copyAriaLabel":"Хабарды көшіру","codex.userMessage.copyTooltip":"Көшіру","codex.userMessage.implementPlan":"Жоспарды жүзеге асыру","codex.userMessage.noContent":"(Контент жоқ)","codex.userMessage.priorConversation":"Алдыңғы әңгімеге сілтеме жасайды","codex.userMessage.reviewMode":"Шолу режимі","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} үшін","codex.webSearch.summary.verb.completed":"Интернеттен іздеді","codex.webSearch.summary.verb.inProgress":"Интернеттен ізделуде","codex.windowsInstallWslBanner.dismiss":"Жабу","codex.windowsInstallWslBanner.installWslCta":"Құмсалғышты қосу","codex.windowsInstallWslBanner.learnMore":"Көбірек білу","codex.windowsSandboxBanner.content":"Файл жүйесін және желі рұсқатын шектеу үшін агент режимі Windos жүйесіндегі құмсалғыштың сынақ түріп пайдаланады. {sandboxLink}","codex.windowsSandboxBanner.title":"Агент режимі үшін құмсалғышты қосу","codex.windowsSubDropdown.windowsSandbox":"Windows құмсалғышы","codex.windowsSubDropdown.windowsSettings":"Windows параметрлері","codexUpgradeModal.body":"Енді Codex қызметіне біздің ең жаңа озық агенттік кодтау моделіміз GPT-5.2-Codex қолданылады. Бұл GPT-5.2 моделін одан әрі жетілдіре отырып, кодтау кезінде ол{link}.","codexUpgradeModal.close":"Жабу","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"әлдеқайда ақылды әрі жылдам","codexUpgradeModal.title":"Codex жаңартуы шықты","codexUpgradeModal.tryNewModel":"GPT-5.2-Codex пайдаланып көру","codexUpgradeModal.useExistingModel":"Ағымдағы модельмен жалғастыру","commentAttachments.numComments":"{count, plural, one {# пікір} other {# пікір}}","commentAttachments.removeAriaLabel":"Пікірлердің тіркемелерін жою","common.close":"Жабу","composer.addContext.openFilePickerError":"Файл таңдағышын ашу мүмкін емес","composer.addContextDropdown.ariaLabel":"Файлдарды және басқа деректерді қосу","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Файлдарды және басқа деректерді қосу","composer.addPhotosAndFiles":"Фотосуреттер мен файлдар қосу","composer.atMentionList.emptyQuery":"Файлдарды іздеу үшін мәтін теріңіз","composer.atMentionList.loading":"Ізделуде...","composer.atMentionList.noResults":"Нәтижелер жоқ","composer.attemptsSelector.option":"{count, plural, one {# нұсқа} other {# нұсқа}}","composer.attemptsSelector.tooltip":"Codex қатар орындай алатын әрекеттер саны","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Тоқтату","composer.cloudFollowUp.cloud":"Бұлт","composer.cloudFollowUp.local":"Құрылғыдағы","composer.cloudFollowUp.whereRun":"Бұл кейінгі бақылау қайда жүргізілуі керек?","composer.cloudTaskCreationError":"Бұлттық тапсырманы жасау қатесі","composer.cloudTaskError":"Тапсырманы жасау қатесі","composer.contextWindow.autoCompactionTooltipLine1":"Codex автоматты түрде контекстін шағын етеді","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Контексттік терезе:","composer.contextWindowUsageStatusFull":"{usage}% толы","composer.contextWindowUsageStatusLeft":"{usage}% пайдаланылды ({remaining}% қалды)","composer.contextWindowUsageTooltip":"{usedTokens} мың / {contextWindow} мың токен пайдаланылды","composer.customCliTooltip":"Командалық жолдың жеке орындалатын файлын пайдалану","composer.dictation.aria":"Айтып жаздыру","composer.dictation.cancel.aria":"Айтып жаздыруды тоқтату","composer.dictation.cancel.tooltip":"Айтып жаздыруды тоқтату","composer.dictation.startError":"Айтып жаздыруды бастау мүмкін емес","composer.dictation.submit.aria":"Транскрипциялау және жіберу","composer.dictation.submit.tooltip":"Транскрипциялау және жіберу","composer.dictation.tooltip":"Айтып жаздыру үшін сүйреу","composer.dictation.transcribeError":"Аудионы транскрипциялау мүмкін емес","composer.dictation.unsupported":"Бұл құрылғыда айтып жаздыру қолжетімді емес","composer.dropOverlay.holdShift":"Тастау үшін {key} түймесін басып түріңіз","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Жаңасын жасау","composer.environmentSelector.error":"Ортаны жүктеу қатесі","composer.environmentSelector.goBack":"Редакторға қайту","composer.environmentSelector.title":"Ортаны таңдау","composer.environmentSelector.tooltip":"Бұлттық ортаны таңдаңыз","composer.feedbackSlashCommand.title":"Пікір","composer.filePicker.selectFile":"Файл таңдау","composer.filePicker.selectFiles":"Файлдарды таңдаңыз","composer.followerTooltip":"Жалғастыру үшін, талқылау басталған терезеге оралыңыз.","composer.footer.branchSwitch.checkoutError":"Тармақ ауыспады: {message}","composer.footer.branchSwitch.createAndCheckout":"Жаңа тармақ жасау және тіркеу…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Жаңа тармақ жасау және тіркеу үшін өзгерістерді жіберіңіз","composer.footer.branchSwitch.createBranchError":"Тармақ жасалмады: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Тармақ атауы","composer.footer.branchSwitch.createDialog.branchExistsError":"Тармақ бұрыннан бар","composer.footer.branchSwitch.createDialog.close":"Жабу","composer.footer.branchSwitch.createDialog.createAndCheckout":"Жасау және тіркеу","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Тармақ жасау және тіркеу","composer.footer.branchSwitch.createDialog.trailingSlashError":"Тармақ атауы «/» таңбасымен аяқталмауы тиіс","composer.footer.branchSwitch.tooltip":"Тармақты ауыстыру","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{fileCount, plural, one {# файл} other {# файл}} бойынша өзгерістерді тіркеп, {branchName} тармағына өту.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Тапсыру","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, one {# файл} other {# файл}} ішіндегі өзгерістер ({branchName} тармағына өту үшін).","composer.footer.branchSwitch.uncommittedDialog.cancel":"Бас тарту","composer.footer.branchSwitch.uncommittedDialog.commit":"Өзгерістерді тіркеу және тармақты ауыстыру…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Төмендегі файлдардағы өзгерістер өту кезінде қайта жазылады:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Жалғастыру үшін өзгерістерді тіркеңіз","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"таңдалған тармақ","composer.footer.branchSwitch.uncommittedDialog.title":"Тармақты ауыстыру үшін өзгерістерді тіркеу","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Жіберілмеген: {fileCount, plural, one {# файл} other {# файл}}","composer.forkSlashCommand.description":"Жергілікті репозиторийде немесе жаңа жұмыс ағашында осы тізбектің тармақтарын жасаңыз","composer.forkSlashCommand.option.local.description":"Жаңа жергілікті тізбекте жалғастыру","composer.forkSlashCommand.option.local.title":"Жергілікті тармақтау","composer.forkSlashCommand.option.worktree.description":"Жаңа жұмыс ағашында жалғастыру","composer.forkSlashCommand.option.worktree.title":"Жаңа жұмыс ағашына тармақтау","composer.forkSlashCommand.title":"Ажырату","composer.imageInputsUnsupported":"Модель кескін шығысына қолдау көрсетпейді. Басқа модельді көріңіз.","composer.imageUploadFailed":"Сурет жүктеп салынбады","composer.includeIdeContextDropdown":"IDE контекстін қамту","composer.includeIdeContextDropdown.ariaLabel":"IDE контекстін қамту","composer.localCwdDropdown.addWorkspaceRoot":"Жаңа жоба қосу","composer.localCwdDropdown.noActiveRoot":"Рөліңізді таңдаңыз","composer.localCwdDropdown.noResults":"Қалталар табылмады","composer.localCwdDropdown.title":"Өніміңізді таңдаңыз","composer.localTaskError":"Әңгімені бастау қатесі","composer.mcpSlashCommand.description":"MCP сервер күйін көру","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Аутентфикацияланбаған","composer.mcpStatus.authOauth":"Аутентификацияланған (OAuth)","composer.mcpStatus.authToken":"Аутентификацияланған (API кілті)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Жабу","composer.mcpStatus.disabled":"Өшірілді","composer.mcpStatus.emptyLabel":"Серверлер:","composer.mcpStatus.emptyValue":"Ешқандай MCP серверлері конфигурацияланбады","composer.mcpStatus.enabled":"Қосылды","composer.mcpStatus.errorLabel":"Күй:","composer.mcpStatus.errorValue":"MCP күйін жүктеу мүмкін емес","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Режимді ауыстыру","composer.mode.agentMode.custom":"Арнаулы","composer.mode.agentMode.custom.dropdownLabel":"Арнаулы","composer.mode.agentMode.custom.option":"Арнаулы (config.toml)","composer.mode.agentMode.custom.optionLabel":"Арнаулы (config.toml)","composer.mode.agentMode.customInfo.cancel":"Бас тарту","composer.mode.agentMode.customInfo.cli":"Бұл параметрлерді CLI арқылы немесе файлды тікелей өңдеу арқылы өзгерте аласыз.","composer.mode.agentMode.customInfo.confirm":"Арнаулы режимді пайдалану","composer.mode.agentMode.customInfo.description":"Арнаулы режим <link>config.toml</link> file файлында анықталған растау және құмсалғыш.","composer.mode.agentMode.customInfo.docs":"Рұқсатты растау және құмсалғыш саясаттар туралы <link>іске қосу ортасы туралы құжаттан</link> қараңыз.","composer.mode.agentMode.customInfo.refresh":"Кез келген өзгерістер агент келесі іске қосылған кезде күшіне енеді.","composer.mode.agentMode.customInfo.title":"Арнаулы режим қалай жұмыс істейді","composer.mode.agentMode.fullAccess":"Агент (толық пайдалану рұқсаты)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (толық пайдалану рұқсаты)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (толық пайдалану рұқсаты)","composer.mode.agentMode.fullAccessConfirm.caution":"Толық пайдалану рұқсатын қосқанда абай болыңыз. Бұл деректердің жоғалу, таралу немесе күтпеген әрекет ету қаупін айтарлықтай арттырады.","composer.mode.agentMode.fullAccessConfirm.confirm":"Иә, бәрібір жалғастыру","composer.mode.agentMode.fullAccessConfirm.description":"Codex толық пайдалану рұқсатымен жұмыс істеген кезде, ол сіздің мақұлдауыңызсыз компьютердегі кез келген файлды өңдей алады және желі арқылы пәрмендерді орындауға мүмкіндік алады.","composer.mode.agentMode.fullAccessConfirm.goBack":"Бас тарту","composer.mode.agentMode.fullAccessConfirm.title":"Толық пайдалану рұқсатын беру керек пе?","composer.mode.agentMode.readOnly":"Чат","composer.mode.agentMode.readOnly.dropdownLabel":"Чат","composer.mode.agentMode.readOnly.optionLabel":"Чат","composer.mode.agentMode.tooltip":"Режимді ауыстыру","composer.mode.agentMode.tooltip.auto":"Файлдарды оқып, өңдеңіз және пәрмендерді орындаңыз.","composer.mode.agentMode.tooltip.custom":"config.toml ішінде анықталған соңғы мақұлдау және оқшауланған бағдарламалық орта саясатын қолданыңыз.","composer.mode.agentMode.tooltip.fullAccess":"Codex жобадан тыс файлдарды өңдей алады және желіні пайдалану рұқсаты бар пәрмендерді іске қоса алады. Сақтықпен қолданыңыз.","composer.mode.agentMode.tooltip.readOnly":"Файлдарды өңдеуге және пәрмендерді орындауға рұқсат қажет етеді.","composer.mode.cloud.tooltip":"Бұлттық ортада жұмыс істеу","composer.mode.contactAdmin":"Пайдалану рұқсатының ауқымын кеңейту үшін әкімшіңізге хабарласыңыз","composer.mode.local":"Құрылғыдағы","composer.mode.local.learnMore":"Көбірек білу","composer.mode.local.model.custom":"Арнаулы","composer.mode.local.model.loadingModel":"Модель жүктелуде","composer.mode.local.model.selecrReasoningEffort":"Пайымды таңдау","composer.mode.local.model.selectModel":"Модельді таңдаңыз","composer.mode.local.model.tooltip":"Модельді таңдаңыз","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Жоғары","composer.mode.local.reasoning.low.label":"Төмен","composer.mode.local.reasoning.medium.label":"Орташа","composer.mode.local.reasoning.minimal.label":"Минималды","composer.mode.local.reasoning.none.label":"Ешқайсысы","composer.mode.local.reasoning.xhigh.label":"Аса жоғары","composer.mode.localRemoteWhereRun":"Тапсырманы қайда орындау керектігін таңдаңыз","composer.mode.newTask.header":"Мынада жалғастыру:","composer.mode.rateLimit.day":"{days} күн","composer.mode.rateLimit.heading":"Қалған жылдамдық шектері","composer.mode.rateLimit.hour":"{hours} сағ","composer.mode.rateLimit.minute":"{minutes} мин","composer.mode.rateLimit.modelSectionLabel":"{modelName} шектеу:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {апталық шектеу} other {{weeks} апталық шектеу}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Апта сайын} other {{weeks} апта}}","composer.mode.remote.connectToCloud":"Codex веб-сайтын қосу","composer.mode.remote.connectToCloudDisabledTooltip":"Тапсырмаларды бұлтқа жіберуге мүмкіндік беру үшін ортаны Codex веб-сайты арқылы орнатыңыз","composer.mode.remote.selectEnvironment":"Ортаны таңдау","composer.mode.remote.sendToCloud":"Бұлтқа жіберу","composer.mode.remote.setupViaWeb":"Codex веб-сайты арқылы ортаны орнату","composer.mode.runInCloud":"Бұлт","composer.mode.runInCloudWithEnvironment":"Бұлт · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Бұлттық ортада жұмыс істеу","composer.mode.segmentedToggle.local.tooltip":"Жергілікті жобада жұмыс істеу","composer.mode.segmentedToggle.worktree.tooltip":"Параллель жұмыс ортада жұмыс істеу","composer.mode.upgradeToPlus":"Plus-ке өту","composer.mode.upgradeToPro":"Pro жоспарына ауысу","composer.mode.workLocally":"Жергілікті жоба","composer.mode.workLocally.currentBranchFallback":"сіздің тармағыңыз","composer.mode.workLocally.tooltip":"{branchName} бойынша жұмыс істеу","composer.mode.worktree":"Жаңа жұмыс бұтағы","composer.mode.worktree.submoduleWarning":"Бұл репозиторийде қосалқы модульдер бар. Жұмыс ағашы жасалмауы мүмкін","composer.mode.worktree.tooltip":"Қатар жұмыс істеу үшін жергілікті жобаңыздың көшірмесін жасау","composer.mode.worktreeSegment":"Жұмыс ағашы","composer.modelChangeDuringConversationWarning.toast":"Әңгімелесу кезінде үлгіні ауыстыру өнімділіктің нашарлауына әкеледі.","composer.newChat.heading.browser":"Келесіде нені кодтауымыз керек?","composer.permissionsDropdown.custom.label":"Арнаулы (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Арнаулы (config.toml)","composer.permissionsDropdown.default.label":"Әдепкі рұқсаттар","composer.permissionsDropdown.default.optionLabel":"Әдепкі рұқсаттар","composer.permissionsDropdown.fullAccess.disabled":"Толық рұқсатты requirements.toml өшірді","composer.permissionsDropdown.trigger.tooltip":"Рұқсаттарды өзгерту","composer.personalitySlashCommand.description.friendly":"Жылы шырайлы, мейірімді және көмектесуге дайын","composer.personalitySlashCommand.description.pragmatic":"Қысқа, тапсырмаға зейін салған әрі тік","composer.personalitySlashCommand.label.friendly":"Жылы шырайлы","composer.personalitySlashCommand.label.pragmatic":"Прагматикалық","composer.personalitySlashCommand.notApplicableSuffix":"(Ағымдағы модельге қолданылмайды)","composer.personalitySlashCommand.title":"Даралық","composer.placeholder.cloudFollowUp.directFollowUp":"Осы бұлттық тапсырманың жалғасы","composer.placeholder.cloudFollowUp.local":"Осы бұлттық тапсырмаға сілтеме жасайтын жаңа жергілікті тапсырма жасаңыз","composer.placeholder.cloudFollowUp.workingTree":"Ағымдағы кодыңызды қамтитын және осы тапсырмаға сілтеме жасайтын жаңа бұлттық тапсырма жасаңыз","composer.placeholder.localFollowUp.cloud":"Жаңа бұлттық тапсырмада жалғастыру","composer.placeholder.localFollowUp.locally":"Қосымша өзгертулер сұрау","composer.placeholder.newTask.cloud":"Codex-тен бұлтта кез келген нәрсені орындауды сұраңыз","composer.placeholder.newTask.doAnything":"Codex-тен кез келген нәрсені орындауды сұраңыз","composer.placeholder.newTask.locally":"Codex-тен қалағаныңызды сұраңыз: файлдар қосу үшін «@», пәрмендер үшін «/»","composer.planModeDropdown":"Жоспарлау режимі","composer.planModeDropdown.ariaLabel":"Жоспарлау режимі","composer.planModeIndicator":"Жоспар","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Жоспарлау режимін өшіру","composer.planSlashCommand.enableDescription":"Жоспарлау режимін қосу","composer.planSlashCommand.title":"Жоспарлау режимі","composer.priorContext.label":"Алдыңғы контекст","composer.priorContext.removeAriaLabel":"Алдыңғы контексті алып тастау","composer.queuedMessage.delete":"Кезектегі хабарды жою","composer.queuedMessage.edit":"Хабарды өзгерту","composer.queuedMessage.more":"Кезектегі хабар әрекеттері","composer.queuedMessage.sendNow":"Жіберу","composer.queuedMessage.turnOff":"Кезекке қоюды өшіру","composer.reasoningEffort.local.reasoning.tooltip":"Пайым деңгейін таңдау","composer.remote.branchStartingPoint":"Бұл тапсырма қандай тармақтан басталуы керек?","composer.remote.branchesSectionHeading":"Тармақтар","composer.remote.currentEditsSuffix.followUp":"Бұлтты тапсырмаға сілтеме жасайтын жаңа тапсырма жасаңыз.","composer.remote.currentEditsSuffix.useLocal":"жергілікті кодтағы өзгерістерімен","composer.remote.directFollowUp":"Жергілікті өзгерістерді пайдаланбаңыз","composer.remote.errorLoadingBranches":"Тармақтарды жүктеу кезінде қате шықты","composer.remote.fromBranch":"{branch} бастап","composer.remote.fromCurrentBranch":"{branch} тармағынан (ағымдағы)","composer.remote.loadingMoreBranches":"Жүктелуде...","composer.remote.localFileStateHeading":"Құрылғыдағы файл күйі.","composer.remote.localWorkingTree":"Жергілікті өзгерістерді пайдалану","composer.remote.startingPoint":"Бұл тапсырма қандай кодтан басталуы керек?","composer.reviewMode.branches.error":"Филиалдарды жүктеу мүмкін емес","composer.reviewMode.branches.retry":"Қайталау","composer.reviewMode.gitRoot.error":"Git түбірі табылмады","composer.reviewMode.option.baseBranch.simple":"Негізгі филиал бойынша тексеру","composer.reviewMode.option.unstaged.simple":"Бекітілмеген өзгерістерді қарау","composer.reviewMode.quickReviewError":"Кодты шолуды бастау сәтсіз болды.","composer.reviewMode.title":"Кодты тексеріп шығу","composer.sandboxButton.unlock.disabled.tooltip":"Толық рұқсатты requirements.toml өшірді","composer.sandboxButton.windowsSandboxDialog.content":"Файл жүйесін және желі рұсқатын шектеу үшін Codex Windos жүйесіндегі құмсалғыштың сынақ түрін пайдаланады. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows құмсалғышын қосу керек пе?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Тек оқуды пайдалану","composer.searchEnvironments":"Ортаны іздеу","composer.skillMentionList.app":"Қолданба","composer.skillMentionList.loading":"Дағдылар жүктелуде...","composer.skillMentionList.noResults":"Дағдылар табылмады","composer.slashCommands.cloudEnvironment.title":"Бұлттық орта","composer.slashCommands.dialogLabel":"Слэш пәрмендері мәзірі","composer.slashCommands.dialogTitle":"Слэш пәрмендері","composer.slashCommands.disabledTooltip":"Слэш пәрмендерді пайдалану үшін жаңа әңгімені бастаңыз","composer.slashCommands.inputPlaceholder":"Іздеу","composer.slashCommands.noResults":"Пәрмендер жоқ","composer.slashCommands.skillsGroup":"Дағдылар","composer.slashCommands.tooltip":"Слэш пәрмендерін шолу","composer.status.close":"Жабу","composer.statusPlain.alertLabel":"Ескерту:","composer.statusPlain.alertValue":"{window} бойынша {remaining}% қалды","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count} мың","composer.statusPlain.contextValueMetadata":"({used} пайдаланылды / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% қалды","composer.statusPlain.heading":"Күй","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} шектеу:","composer.statusPlain.rateLimitDays":"Лимит {count} күн","composer.statusPlain.rateLimitFallbackLabel":"Жылдамдық лимиті:","composer.statusPlain.rateLimitHours":"Лимит {count} сағат","composer.statusPlain.rateLimitLabelBase":"Жылдамдық лимиті","composer.statusPlain.rateLimitMinutes":"Лимит {count} минут","composer.statusPlain.rateLimitPercent":"{remaining}% қалды","composer.statusPlain.rateLimitReset":"{time} қалпына келтіріледі","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"уақытты қалпына келтіру қолжетімсіз","composer.statusPlain.rateLimitUnavailable":"Қолжетімсіз","composer.statusPlain.sessionCopiedAriaLabel":"Сеанс идентификаторы көшірілді","composer.statusPlain.sessionCopiedTooltip":"Идентификатор көшірілді","composer.statusPlain.sessionCopyAriaLabel":"Сеанс идентификаторын көшіру","composer.statusPlain.sessionCopyTooltip":"Идентификаторды көшіру","composer.statusPlain.sessionLabel":"Сеанс:","composer.statusSlashCommand.description":"Тізбек идентификаторын, контекст қолданысын және тарифтік шектеулерді көрсету","composer.statusSlashCommand.title":"Күй","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Хабар жіберу мүмкін емес","composer.submit.emptyMessage":"Бастау үшін хабарды енгізіңіз","composer.submit.imageInputsUnsupported":"Бұл хабарламаны жіберу үшін кескіндерді өшіріңіз немесе үлгіні өзгертіңіз.","composer.submit.loadingLocalConfig":"Жүктелуде...","composer.submit.missingCloudConfig":"Бұлт ортасын таңдауыңыз керек","composer.submit.missingCloudTurn":"Бұл тапсырманы орындау мүмкін емес","composer.submit.noWorkspace":"Codex қызметін пайдалану үшін жоба қосыңыз","composer.submit.waitForImageUploads":"Суреттер жүктеп салынуда…","composer.submitButtonTooltip.send":"Жіберу","composer.submitButtonTooltip.stop":"Тоқтату","composer.worktreeEnvironment.create":"Жергілікті ортаны жасау","composer.worktreeEnvironment.default":"Әдепкі орта","composer.worktreeEnvironment.error":"Ортаны жүктеу қатесі","composer.worktreeEnvironment.loading":"Орта жүктелуде…","composer.worktreeEnvironment.title":"Жергілікті орта","composer.worktreeEnvironment.tooltip":"Жергілікті орта файлын таңдаңыз","composer.worktreeSetupFailed":"Жұмыс ағашы орнатылмады. Орнату скриптін «.codex/environments» арқылы тексеріңіз.","compoundButton.secondaryAction":"Қосымша әрекет","copyButton.copied":"Көшірілді","copyButton.copiedAriaLabel":"Көшірілді","copyButton.copy":"Көшіру","copyButton.copyAriaLabel":"Көшіру","copyButton.copyCode":"Кодты көшіру","diff.actionButton.revertFile":"Файлды қайтару","diff.actionButton.revertHunk":"Қайтару","diff.actionButton.revertSection":"Барлығын қайтару","diff.actionButton.revertSectionLabel":"Барлығын қайтару","diff.actionButton.stageFile":"Файлды индекстеу","diff.actionButton.stageHunk":"Индекстеу","diff.actionButton.stageSection":"Барлығын индексстеу","diff.actionButton.stageSectionLabel":"Барлығын индексстеу","diff.actionButton.unstageFile":"Файлды индекстен шығару","diff.actionButton.unstageHunk":"Индекстемеу","diff.actionButton.unstageSection":"Барлығын индекстен шығару","diff.actionButton.unstageSectionLabel":"Барлығын индекстен шығару","diff.fileHeader.toggle":"Файл айыр. қосу/өшіру","electron.onboarding.login.apikey.cancel":"Бас тарту","electron.onboarding.login.apikey.continue":"Жалғастыру","electron.onboarding.login.apikey.label":"OpenAI API кілті","electron.onboarding.login.apikey.open":"API кілтін енгізу","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Кіруді болдырмау","electron.onboarding.login.chatgpt.continue":"ChatGPT арқылы жалғастыру","electron.onboarding.login.devbox":"Қашықтағы SSH-қа қосылу","electron.onboarding.login.error":"Жүйеге кірілмеді: {rawMessage}","electron.onboarding.login.snake.start":"Жылан ойнау","electron.onboarding.login.sshConfig.cancel":"Бас тарту","electron.onboarding.login.sshConfig.continue":"Жалғастыру","electron.onboarding.login.sshConfig.hostnameLabel":"SSH хост атауы","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Агенттермен жасаудың ең үздік жолы","electron.onboarding.login.title":"Codex модалына қош келдіңіз","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Жалғастыру","electron.onboarding.welcome.doubleLimits.description":"Codex қолданбасын іске қосу құрметіне 2 сәуірге дейін 2 есе сұрау лимиті бар.","electron.onboarding.welcome.freego.description":"2 наурызға дейін Codex жоспарыңызға тегін енгізілді – бірге құруды бастайық.","electron.onboarding.welcome.new.title.anon":"Қош келдіңіз!","electron.onboarding.workspace.continue":"Жалғастыру","electron.onboarding.workspace.empty":"Жалғастыру үшін жоба қосыңыз.","electron.onboarding.workspace.listLabel":"Бар жобалар","electron.onboarding.workspace.loading":"Жобалар жүктелуде","electron.onboarding.workspace.openFolder":"Жоба қосу","electron.onboarding.workspace.selectAll":"Барлығын таңдау","electron.onboarding.workspace.skip":"Өткізіп жіберу","electron.onboarding.workspace.skip.error":"Жаңа жоба жасалмады: {message}","electron.onboarding.workspace.skip.error.unknown":"Белгісіз қате","electron.onboarding.workspace.skipping":"Жаңа жоба жасалуда…","electron.onboarding.workspace.subtitle":"Codex таңдалған қалталарда файлдарды өңдеп, пәрмендерді іске қоса алады.","electron.onboarding.workspace.title":"Бір жобаны таңдау","errorPage.list.checkSettings":"IDE параметрлерін жаңартып көріңіз","errorPage.list.configToml":"config.toml ішінде жарамсыз параметрлер бар-жоғын тексеріңіз","errorPage.list.downloadExtension":"Кеңейтімнің басқа нұсқасын жүктеп көріңіз","errorPage.list.runInWsl":"Егер үйлесімділік мәселелері байқалса, WSL ішінде іске қосуды өшіру үшін параметрлеріңізді тексеріңіз","execApprovalRequest.menu.runAlways":"Иә және осы сеанста қайтадан сұрамау","execApprovalRequest.menu.runAlwaysWithAmendment":"Иә және {command} деп басталатын пәрмендер үшін қайта сұрамау","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Иә және келесідей басталатын пәрмендер үшін қайта сұрамау","execApprovalRequest.menu.runOnce":"Иә","execApprovalRequest.prompt":"Осы пәрменді іске қосқыңыз келмей ме?","execApprovalRequest.reject":"Жоқ","execFooter.exitCode":"Кодтан шығу {code}","execFooter.exitCode.unknown":"белгісіз","execFooter.success":"Сәттілік","feedback.dialog.category.badResult":"Нашар нәтиже","feedback.dialog.category.bug":"Қате","feedback.dialog.category.goodResult":"Жақсы нәтиже","feedback.dialog.category.other":"Басқа","feedback.dialog.descriptionPlaceholder":"Мәселені мұнда сипаттап беріңіз","feedback.dialog.dismiss":"Жабу","feedback.dialog.includeLogsLabel":"Ағымдағы Codex сеанс журналдарын қосу","feedback.dialog.submit":"Жіберу","feedback.dialog.submitError":"Біз сіздің пікіріңізді жібере алмадық. Біраз уақыттан кейін әрекетті қайталаңыз.","feedback.dialog.title":"Пікір","feedback.dialog.uploadedMessage.existingIssue":"бар ашық мәселе","feedback.dialog.uploadedMessage.openIssue":"GitHub мәселесін ашу","feedback.dialog.uploadedMessage.withThread":"Пікір жүктеп салынды. Егер мәселе шешілмесе, {openIssueLink} немесе {existingIssueLink} тізбек идентификаторын атап өтіңіз:","feedback.dialog.uploadedTitle":"Пікір жүктеп салынды","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} алып тастау","header.back":"Артқа","header.recentChats":"Тапсырмалар","header.recentTasks.seeAll":"Барлығын көру ({total})","home.header.getPlus":"Plus алу","home.hero.letsBuild":"Бірге жасайық","homePage.mainContent":"Негізгі контент","imageAttachment.defaultName":"cурет","imageAttachment.preview.close":"Кескінді алдын ала қарау бетін жабу","imageAttachment.removeAriaLabel":"{filename} алып тастау","implementPlanRequest.option.implement":"Иә, жоспарды жүзеге асыру","implementPlanRequest.prompt":"Осы жоспарды жүзеге асыру керек пе?","inbox.archived.deleteError":"Мұрағатталған іске қосуды жою мүмкін болмады","inbox.archived.deleteRun":"Мұрағатталған іске қосуды жою","inbox.archived.deleteSuccess":"Мұрағатталған тізбек жойылды. <settingsLink>Мұрағатталған тізбектерден</settingsLink> көріңіз.","inbox.archived.inlineLabel.auto":"Бұл тізбек автоматты түрде мұрағатталды. <learnMoreLink>Көбірек білу</learnMoreLink>","inbox.archived.inlineLabel.manual":"Бұл тізбек мұрағатталды.","inbox.archived.noMessageFound":"Хабар табылмады","inbox.automations.createError":"Автоматтандыру құрылмады","inbox.automations.deleteConfirm.cancel":"Бас тарту","inbox.automations.deleteConfirm.confirm":"Автоматтандыруды жою","inbox.automations.deleteConfirm.description":"Бұл әрекет автоматтандыруды біржола өшіреді және болашақ іске қосуларды тоқтатады.","inbox.automations.deleteConfirm.title":"{name} жою керек пе?","inbox.automations.deleteError":"Автоматтандыруды өшіру мүмкін болмады","inbox.automations.editTooltip":"Автоматтандыруды өзгерту","inbox.automations.inProgress":"Орындалуда","inbox.automations.new":"Жаңа","inbox.automations.newToolbar":"Жаңа автоматтандыру","inbox.automations.pauseTooltip":"Автоматтандыруды кідірту","inbox.automations.resumeTooltip":"Атоматтандыруды жалғастыру","inbox.automations.startingNow":"Қазір бастауда","inbox.automations.startsIn":"Басталуы: {startTime}","inbox.automations.status.active":"Белсенді","inbox.automations.status.paused":"Кідіртілді","inbox.automations.status.runs":"{count} рет іске қосылды","inbox.automations.status.started":"Басталуы {date}","inbox.automations.updateError":"Автоматтандыру жаңартылмады","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Барлығы","inbox.filter.ariaLabel":"Кіріс қалта элементтерін сүзгілеу","inbox.filter.unread":"Оқылмаған","inbox.list.archived":"Мұрағатталды","inbox.list.inProgress":"Орындалуда","inbox.list.recent":"Аяқталды","inbox.list.upNext":"Жоспарға енгізілді","inbox.mode.automations":"Автоматтандыру","inbox.mode.automations.beta":"Бета","inbox.noDescription":"Сипаттама берілмеді","inbox.openThread":"Тізбекті ашу","inbox.rightPanel.emptySubtitle":"Жоспарланған тапсырмаларды орнату арқылы жұмысты автоматтандырыңыз","inbox.rightPanel.emptySubtitle.learnMore":"Жоспарланған тізбектерді орнату арқылы жұмысты автоматтандырыңыз. <link>Көбірек білу</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# белсенді автоматтандыру} other {# белсенді автоматтандыру}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Оқылмаған автоматтандыру жоқ","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# оқылмаған автоматтандыру} other {# оқылмаған автоматтандыру}}","inbox.rightPanel.emptyTitle":"Элементтер таңдалмады","inbox.rightPanel.noThread":"Осы элемент үшін тізбек жоқ","inbox.rightPanel.quickStart.header":"Шаблонмен бастау","inbox.untitled":"Кіріс қалтасының тақырыпсыз элементі","loadingPage.documentationLink":"тек жақсарады","loadingPage.errorDescription":"Codex келесі қатемен жабылды:","loadingPage.errorDescription.documentation":"Codex кеңейтімін қайта іске қосу үшін «Қайта жүктеу» түймесін басыңыз немесе қосымша көмек алу үшін біздің{documentationLink} бөліміне өтіңіз.","loadingPage.errorSignal":"Мына әрекеттерді қолданып көріңіз:","loadingPage.errorTitle":"Қате шықты","loadingPage.openConfigToml":"config.toml ашу","loadingPage.reload":"Қайта жүктеу","localConversation.contextCompacted":"Контекст автоматты түрде ықшамдалды","localConversation.contextCompacting":"Контекст автоматты түрде ықшамдалуда","localConversation.forkedFromConversation":"{threadTitle} тізбегінен тармақталған","localConversation.merge.autoResolve.failed":"Автоматты шешу сұралмады: {error}","localConversation.merge.autoResolve.sent":"Автоматты шешу сұрауы жіберілді","localConversation.merge.autoResolveMerge.missingConversation":"Белсенді талқылаусыз автоматты шешу мүмкін емес.","localConversation.merge.autoResolveMerge.request":"Бірігу қақтығыстарын автоматты түрде шешу","localConversation.modelChanged":"{fromModel} моделінен {toModel} моделіне өзгертілді.","localConversation.modelChanged.warning.line1":"Әңгімелесу кезінде үлгіні ауыстыру өнімділіктің нашарлауына әкеледі.","localConversation.modelChanged.warning.line2":"Контекст автоматты түрде ықшамдалуы мүмкін.","localConversation.moveThread.createBranch.label":"Тармақ жасау","localConversation.moveToLocal.disabled.loading":"Жүктелуде...","localConversation.moveToLocal.modal.continue":"Жалғастыру","localConversation.moveToLocal.modal.destinationLabel":"Жылжыту орны","localConversation.moveToLocal.modal.retry":"Қайталау","localConversation.moveToWorktree.modal.back":"Артқа","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Тармақ бұрыннан бар","localConversation.moveToWorktree.modal.branchesError":"Филиалдарды жүктеу мүмкін емес","localConversation.moveToWorktree.modal.branchesLoading":"Тармақтар жүктелуде…","localConversation.moveToWorktree.modal.branchesRetry":"Қайталау","localConversation.moveToWorktree.modal.continue":"Жалғастыру","localConversation.moveToWorktree.modal.retry":"Қайталау","localConversation.moveToWorktree.modal.trailingSlashError":"Тармақ атауы «/» таңбасымен аяқталмауы тиіс","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"{personality} даралығына ауыстырылды","localConversation.planSummary.collapse":"Жоспардың қысқаша мазмұнын жию","localConversation.planSummary.collapseTooltip":"Жию","localConversation.planSummary.download":"Жоспарды жүктеп алу","localConversation.planSummary.expand":"Жоспардың қысқаша мазмұнын жаю","localConversation.planSummary.expandTooltip":"Жаю","localConversation.planSummary.openInNewWindow":"Ашу","localConversation.planSummary.openInNewWindow.tooltip":"Жаңа терезеде ашу","localConversation.planSummary.title":"Жоспар","localConversation.planSummary.titleWriting":"Жазу жоспары","localConversation.planSummary.viewPlan":"Жоспарды жаю","localConversation.remoteTaskCreated":"Codex Cloud ішінде {taskLink} жасалды","localConversation.remoteTaskCreated.task":"тапсырма","localConversation.scrollToBottomButton":"Төменге айналдыру","localConversation.sync.buttonLabel":"Жергіліктіге табыстау","localConversation.sync.buttonLabel.tooltip":"Өзгерістерді осы жұмыс ағашы мен жергілікті тіркелу арасында жіберіңіз.","localConversation.sync.modal.loading.title":"Өзгертулер табысталуда…","localConversation.sync.modal.noChanges":"Өзгерістер жоқ","localConversation.syncSetup.branchAriaLabel":"Тармақ атауы","localConversation.syncSetup.branchName":"Тармақ атауы","localConversation.syncSetup.branchPlaceholder.existing":"Бар тармақты таңдаңыз","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Тармақтар жүктелуде…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Тіркеліп қойды","localConversation.syncSetup.checkoutClean":"Қазір мұнда: {branchName}","localConversation.syncSetup.checkoutDirty":"Қазір жіберілмеген өзгерістерсіз мұнда: {branchName}","localConversation.syncSetup.checkoutError":"Тармақ тексерілмеді: {message}","localConversation.syncSetup.checkoutLabel":"Қазір жергілікті тексеру","localConversation.syncSetup.checkoutOnLocal":"Жергіліктіге табыстау","localConversation.syncSetup.checkoutPending":"Жергілікті күйі тексерілуді…","localConversation.syncSetup.checkoutUnavailable":"Жергілікті жұмыс кеңістігі жоқ","localConversation.syncSetup.checkoutUnknown":"Жергілікті тармақ жоқ","localConversation.syncSetup.continue":"Жалғастыру","localConversation.syncSetup.createBranchError":"Табыстау тармағы орнатылмады: {message}","localConversation.syncSetup.error":"Бірдеңе дұрыс болмады: {message}","localConversation.syncSetup.error.workingTreeMissing":"Жұмыс ағашының экран суреті жасалмады. Қайтадан табыстап көріңіз.","localConversation.syncSetup.mode.ariaLabel":"Тармақ режимін таңдаңыз","localConversation.syncSetup.mode.existing":"Бар тармақ","localConversation.syncSetup.mode.new":"Жаңа тармақ","localConversation.syncSetup.noBranches":"Тармақтар табылмады","localConversation.syncSetup.overwriteError":"Тармақ жасалды, алайда толығымен табысталмады. Жергілікті тексерер бұрын, қолмен табыстаңыз.","localConversation.syncSetup.setPrefix":"Префиксті орнату","localConversation.syncSetup.subtitle":"Жұмыс ағашы өзгерістерін жергілікті тексеріңіз және өңдеңіз. <a>Көбірек білу</a>","localConversation.syncSetup.success.checkedOut":"Тармақ жасалды және ол жергілікті тексеріледі","localConversation.syncSetup.success.notCheckedOut":"Тармақ жасалды","localConversation.syncSetup.title":"Жергілікті тармаққа табысталды","localConversation.syncWorktreeError.branchAriaLabel":"Тармақ атауы","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Табысталатын тармақты таңдаңыз, содан кейін өзгертулерді қайта жүктеп көріңіз.","localConversation.syncWorktreeError.branchSetup.title":"Тармақты жаңарту","localConversation.syncWorktreeError.branchUpdate.cta":"Жаңартау және қайталау","localConversation.syncWorktreeError.branchUpdate.error":"Тармақ жаңартылмады: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Бірдеңе дұрыс болмады: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Тармақ ешқандай жұмыс ағашында тексерілмейді.","localConversation.syncWorktreeV2.applyUncommitted":"Қолдану","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Жіберілмеген өзгертулерді қолдану үшін тармақты жергілікті тексеруіңіз керек","localConversation.syncWorktreeV2.branches.empty":"Тармақтар табылмады","localConversation.syncWorktreeV2.branches.loading":"Тармақтар жүктелуде…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Табыстау тармағын өзгерту","localConversation.syncWorktreeV2.changeBranch.error":"Табыстау тармағы өзгертілмеді: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Қолданылмады","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Жұмыс ағашының үстінен жазылмады","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Жергілікті үстінен жазылмады","localConversation.syncWorktreeV2.commandError.back":"Артқа","localConversation.syncWorktreeV2.commandError.body":"Табыстау кезінде git пәрмені берілмеді. Нәтижені тексеріп, қайталаңыз.","localConversation.syncWorktreeV2.commandError.retry":"Қайталау","localConversation.syncWorktreeV2.description":"Жергілікті және осы жұмыс ағашы арасында өзгертулерді табыстау <a>Көбірек білу</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Табыстау бағытын таңдаңыз","localConversation.syncWorktreeV2.error.generic":"Табыстау кезінде бірдеңе дұрыс болмады. Әрекетті қайталаңыз.","localConversation.syncWorktreeV2.localBranchLabel":"Құрылғыдағы","localConversation.syncWorktreeV2.noChanges":"Өзгертулер саналуда","localConversation.syncWorktreeV2.noChanges.summary":"Өзгерістер жоқ","localConversation.syncWorktreeV2.overwrite.local":"Жергілікті үстінен жазу","localConversation.syncWorktreeV2.overwrite.worktree":"Жұмыс ағашының үстінен жазу","localConversation.syncWorktreeV2.partial.action.applyFailed":"Өзгертулер қолданылмады","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Жергілікті өзгерістер үстінен жазылмады","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Жұмыс ағашы өзгерістері үстінен жазылмады","localConversation.syncWorktreeV2.partial.appliedLabel":"Қолданылды","localConversation.syncWorktreeV2.partial.back":"Артқа","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Қақтығыстарды шешіп, әрекетті қайталаңыз.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Қақтығыстар","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# файл} other {# файл}}","localConversation.syncWorktreeV2.partial.retry":"Қайталау","localConversation.syncWorktreeV2.partial.skippedLabel":"Өткізіп жіберілді","localConversation.syncWorktreeV2.stateFailed.generic":"Табыстау үшін жұмыс ағашының өзгерістерін алу кезінде бірдеңе дұрыс болмады. Әрекетті қайталаңыз.","localConversation.syncWorktreeV2.stateFailed.title":"Жұмыс ағашы өзгертулері жүктелмеді","localConversation.syncWorktreeV2.statusError.diffUnknown":"Жұмыс ағашы өзгертулері жүктелмеді.","localConversation.syncWorktreeV2.statusError.retry":"Қайталау","localConversation.syncWorktreeV2.statusError.title":"Жергілікті тармақ өзгерістері жүктелмеді","localConversation.syncWorktreeV2.statusError.unknown":"Тармақ күйі қазір қолжетімсіз. Әрекетті қайталаңыз.","localConversation.syncWorktreeV2.success.apply":"Өзгертулер сәтті қолданылды","localConversation.syncWorktreeV2.success.overwrite":"Сәтті табысталды","localConversation.syncWorktreeV2.title":"Табыстау өзгерістері","localConversation.syncWorktreeV2.worktreeLabel":"Жұмыс ағашы","localConversation.userInputRequest.inProgress":"{count, plural, one {сұрақ} other {сұрақ}} сұрауда","localConversation.userInputRequest.noAnswer":"Берілген жауап жоқ","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Сұрады","localConversation.userInputRequest.summary.count":"{count, plural, one {# сұрақ} other {# сұрақ}}","localConversation.workedFor":"{time} үшін жұмыс істеді","localConversation.worktreeBranchSetup.action.create":"Жасау","localConversation.worktreeBranchSetup.branchAriaLabel":"Тармақ атауы","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Жаңа тармақ жасау","localConversation.worktreeBranchSetup.checkoutDisabled":"Бұл тармақ мына кезде тіркеліп қойды: {location}","localConversation.worktreeBranchSetup.checkoutError":"Тармақ тексерілмеді: {message}","localConversation.worktreeBranchSetup.createBranchError":"Тармақ орнатылмады: {message}","localConversation.worktreeBranchSetup.error":"Бірдеңе дұрыс болмады: {message}","localConversation.worktreeBranchSetup.subtitle":"Осы жұмыс ағашынан өзгерістерді бекіту, өзгерістерді жіберу және шығарып алу сұрауларын (PR) жасау үшін тармақ жасаңыз. <a>Көбірек білу</a>","localConversation.worktreeBranchSetup.title":"Мына жерден жұмыс істеңіз","localConversationPage.addWorktreeToSidebar.tooltip":"Осы жұмыс ағашынан жаңа тізбек бастай алуыңыз үшін жоба ретінде сақтау","localConversationPage.addWorktreeToSidebarError":"Жоба қосылмады","localConversationPage.commitAndCreatePrModal.errorTitle":"Бекіту және PR жасау сәтсіз болды","localConversationPage.commitAndCreatePrModal.successTitle":"Бекітілді және PR жасалды.","localConversationPage.commitAndPushModal.errorTitle":"Бекіту және жіберу сәтсіз болды","localConversationPage.commitAndPushModal.successTitle":"Өзгерістер бекітілді және жіберілді","localConversationPage.commitCreatePr.open":"Pull сұранысын ашу","localConversationPage.commitCreatePr.successTitle":"Соңғы өзгерістеріңізбен PR жасалды","localConversationPage.createBranchButtonLabel":"Тармақ осында","localConversationPage.createPrModal.baseBranch":"Негіз","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR жасау","localConversationPage.createPrModal.createDescription":"Соңғы өзгерістеріңіз үшін пулл-реквест ашыңыз.","localConversationPage.createPrModal.errorTitle":"Пулл-реквест жасалмады.","localConversationPage.createPrModal.headBranch":"Бас","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR ашу","localConversationPage.createPrModal.successTitle":"Шығарып алу сұрауы жасалды","localConversationPage.createPrModal.title":"Шығарып алу сұрауын жасау","localConversationPage.createPrModal.viewDescription":"Бұл тармақ үшін пулл-реквест әлдеқашан жасалған.","localConversationPage.createPrModal.viewTitle":"Пулл-реквест дайын","localConversationPage.createPullRequestAuthGh":"GitHub CLI аутентификациялау: run `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Тармақ ақпараты жоқ","localConversationPage.createPullRequestButtonLabel":"PR жасау","localConversationPage.createPullRequestButtonLabel.loading":"PR жасалуда…","localConversationPage.createPullRequestDefaultBranchMissing":"Әдепкі тармақ ақпараты жоқ","localConversationPage.createPullRequestError":"Шығарып алу сұрауын жасау мүмкін емес","localConversationPage.createPullRequestExistingPullRequest":"Бұл тармақ үшін пулл-реквест әлдеқашан жасалған.","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI күйі жүктелуде…","localConversationPage.createPullRequestInstallGh":"Шығарып алу сұрауларын жасау үшін GitHub CLI (gh) орнату","localConversationPage.createPullRequestNoRepo":"Ешқандай Git репозитрийі табылмады","localConversationPage.createPullRequestPushStatusMissing":"Жіберу күйі жүктелуде...","localConversationPage.createPullRequestSetUpstream":"Шығарып алу сұрауын жасар алдында осы тармақты жіберіңіз","localConversationPage.createPullRequestSuccessToast":"Шығарып алу сұрауы жасалды","localConversationPage.createPullRequestSwitchBranch":"Шығарып алу сұрауын жасар алдында функция тармағына ауысыңыз","localConversationPage.error.render":"Жергілікті диалогты көрсету кезінде қате шықты","localConversationPage.error.toast":"Әңгіме табылмады","localConversationPage.forcePushError":"Мәжбүрлі жіберу сәтсіз болды.","localConversationPage.generatePullRequestMessageError":"Pull request тақырыбы мен мәтінін жасау сәтсіз аяқталды","localConversationPage.generatePullRequestMessageFailed":"Pull request тақырыбы мен мәтінін жасау сәтсіз аяқталды.","localConversationPage.gitActionResult.branch":"Тармақ","localConversationPage.gitActionResult.cancel":"Бас тарту","localConversationPage.gitActionResult.close":"Жабу","localConversationPage.gitActionResult.tryAgain":"Қайталап көр","localConversationPage.gitActions":"Git әрекеттері","localConversationPage.newChat":"Жаңа чат","localConversationPage.openInTarget":"Ашатын қолданба:","localConversationPage.openPrimaryTarget":"Ашу","localConversationPage.planItemsCompleted":"{completedItems}/{totalItems, plural, one {# тапсырма орындалды} other {# тапсырма орындалды}}","localConversationPage.pushAuthError":"Жіберілмеді: аутентификация керек","localConversationPage.pushBranchMissing":"Тармақ ақпараты жоқ","localConversationPage.pushButtonLabel":"Пуш","localConversationPage.pushButtonLabel.loading":"Жіберуде","localConversationPage.pushError":"Өзгертулер жіберілмеді","localConversationPage.pushModal.branchLabel":"Тармақ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Бас тарту","localConversationPage.pushModal.confirm":"Пуш","localConversationPage.pushModal.description":"Соңғы бекітулеріңізді қашықтағы репозиторийге жіберіңіз.","localConversationPage.pushModal.errorTitle":"Жіберу сәтсіз болды","localConversationPage.pushModal.forcePush":"Мәжбүрлі жіберу","localConversationPage.pushModal.successTitle":"Мәжбүрлі жіберілді","localConversationPage.pushModal.title":"Өзгерістерді мәжбүрлі енгізу","localConversationPage.pushModal.tryAgain":"Қайталап көр","localConversationPage.pushNoUpstream":"Осы тармақты жіберер алдында шығыс репозиторийді баптаңыз","localConversationPage.pushNoUpstreamError":"Жіберілмеді: шығыс арна бапталмаған","localConversationPage.pushNothingToPush":"Жіберілетін жаңа коммиттер жоқ","localConversationPage.pushRemoteChangedError":"Жіберілмеді: қашықтағы пайдаланушыда жаңа коммит бар","localConversationPage.pushRemoteRejectedError":"Қашықтағы пайдаланушы жіберуді қабылдамады","localConversationPage.pushStatusMissing":"Жіберу күйі жүктелуде...","localConversationPage.pushSuccessToast":"Күштеп жасалған өзгерістер","localConversationPage.viewPullRequestButtonLabel":"PR көру","localConversationPage.viewPullRequestButtonLabel.loading":"Pull request жүктелуде...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# файл} other {# файл}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# тізім} other {# тізім}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# іздеу} other {# іздеу}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Зерттеу","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Зерттелді","localConversationTurn.exploration.accordion.header.complete.withCounts":"Зерттелді {counts}","localConversationTurnStory.showContent":"Мазмұнды көрсету","localConversationTurnStory.streamContent":"Мазмұнды стриммен тарату","localConversationTurnStory.toggleReasoning":"Пайымды көрсету","localTaskRow.archiveError":"Әңгіме мұрағатталмады","localTaskRow.resumeError":"Тапсырманы жалғастыру мүмкін емес","mermaidDiagram.ariaLabel":"Mermaid диаграммасы","mermaidDiagram.copySource":"Mermaid кестесін көшіру","mermaidDiagram.originalCode":"Mermaid бастапқы коды","notifications.permissions.description":"Хабарландыру рұқсаты қажет болған кезде, ескертулерді көрсету.","notifications.permissions.label":"Рұқсат хабарландыруларын қосу","notifications.turnMode.always":"Әрқашан","notifications.turnMode.description":"Codex сізге процестің аяқталғаны туралы хабарлайтын уақытты белгілеу","notifications.turnMode.label":"Аяқталу туралы хабарландыруларды қосу","notifications.turnMode.off":"Ешқашан","notifications.turnMode.unfocused":"Тек фокусталмаған кезде","patchApprovalRequest.approve":"Растау","patchApprovalRequest.menu.allowAlways":"Иә және осы сеанста қайтадан сұрамау","patchApprovalRequest.menu.allowForSession":"Иә және осы сеанста қайтадан сұрамау","patchApprovalRequest.menu.allowOnce":"Иә","patchApprovalRequest.prompt":"Осы өзгертулерді жасағыңыз келе ме?","patchApprovalRequest.reject":"Жоқ","patchApprovalRequest.waitingForApproval":"Файлдарды өңдеу үшін мақұлдауды күтуде","pendingRequest.approvalExec.collapse":"Жию","pendingRequest.approvalExec.expand":"Жаю","pendingRequestStory.toastAnswer":"Жауап: {answer}","pendingRequestStory.toastApprovalTitle":"Мақұлдау жауабы","pendingRequestStory.toastFollowupPrompt":"Көмексөз: {prompt}","pendingRequestStory.toastFollowupTitle":"Қадағалау сұрауы жіберілді","pendingRequestStory.toastNoAnswers":"Берілген жауаптар жоқ","pendingRequestStory.toastQuestion":"Сұрақ: {question}","pendingRequestStory.toastUnknownDecision":"Белгісіз","pendingRequestStory.toastUserInputTitle":"Жіберілген жауаптар","quickAction.request.codeReview.branches.new":"{to} қатысты {from} өзгерістерді қарап шығыңыз","quickAction.request.codeReview.uncommitted.new":"Менің сақталмаған өзгерістерімді тексеріңіз","reasoningItem.thinking":"Ойлануда","reasoningItem.thought":"Ой","reasoningItem.thoughtWithElapsed":"{elapsed} туралы ой","recentConversations.title":"Жақындағы әңгімелер","recentTasks.worktreeInitFailedTitle":"Жұмыс ағашын инициализациялау сәтсіз болды","recentTasks.worktreeSettingUpTitle":"Жұмыс ағашын орнату","requestInputPanel.continue":"Жалғастыру","requestInputPanel.dismiss":"Жабу","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Осында теріңіз","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Жоқ және Codex қызметіне нені басқаша істеу керектігін айту","requestInputPanel.selectedBadge":"Таңдалды","requestInputPanel.skip":"Өткізіп жіберу","requestInputPanel.submit":"Жіберу","review.commit.ariaLabel.includeUnstaged":"Индекстелмегендерді қосу","review.commit.buttonLabel":"Тапсыру","review.commit.disabled.committing":"Тапсыруда...","review.commit.disabled.loadingDiff":"Айырмашылықтар жүктелуде…","review.commit.disabled.missingContext":"Коммит хабарламасын жасау үшін біраз контекст қосыңыз","review.commit.disabled.noChanges":"Расталатын өзгерістер жоқ","review.commit.disabled.noSelection":"Растау үшін өзгертулерді таңдаңыз","review.commit.disabled.unavailable":"Растау дәл қазір қолжетімді емес","review.commit.error":"Өзгертулерді жіберу мүмкін болмады","review.commit.form.changesToBeCommitted":"Өзгерістер","review.commit.form.commitTo":"Тармақ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Жалғастыру","review.commit.form.title":"Өзгерістерді тапсыру","review.commit.generate.emptyResponse":"Коммит хабарламасы жасалмады","review.commit.generate.failed":"Коммит хабарламасы жасау мүмкін болмады: {error}","review.commit.generate.missingPrompt":"Коммит хабарламасын жасау үшін біраз контекст қосыңыз.","review.commit.includeUnstaged":"Индекстелмегендерді қосу","review.commit.loading.description":"Күте тұрыңыз, бұл сәл уақыт алуы мүмкін","review.commit.loading.step.commit.done":"Жіберілген өзгертулер","review.commit.loading.step.commit.pending":"Өзгерістер енгізу","review.commit.loading.step.createPr.done":"Пулл-реквест жасалды","review.commit.loading.step.createPr.pending":"Пулл-реквест жасалуда","review.commit.loading.step.push.done":"{branch} тармағына жіберілді","review.commit.loading.step.push.pending":"{branch} тармағына жіберілуде","review.commit.loading.title.commit":"Өзгерістер енгізу","review.commit.loading.title.createPr":"PR жасалуда.","review.commit.loading.title.push":"Өзгерістер жіберілуде","review.commit.messageLabel":"Коммит хабары","review.commit.messagePlaceholder":"Жіберілетін хабарды автоматты түрде жасау үшін өрісті бос қалдырыңыз","review.commit.nextSteps":"Келесі қадам:","review.commit.nextSteps.commit":"Тапсыру","review.commit.nextSteps.commitAndCreate":"Бекіту және PR жасау","review.commit.nextSteps.commitAndPush":"Бекіту және жіберу","review.commit.nextSteps.prRequiresGh":"GitHub CLI қажет: {command}","review.commit.rows.changes":"Өзгерістер","review.commit.rows.commitCount":"{count, plural, one {# тапсыру} other {# жіберу}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# тапсыру} other {# жіберу}} және {stats}","review.commit.rows.fileCount":"{count, plural, one {# файл} other {# файл}}","review.commit.state.error.body":"Тапсыру кезінде бірдеңе дұрыс болмады. Git күйін тексеріп, әрекетті қайталаңыз.","review.commit.state.error.title":"Тапсырылмады","review.commit.state.success.title":"Өзгерістер бекітілді","review.commit.untracked.loadingStats":"Бақыланбайтын айырмашылықтар статистикасын жүктеуде…","reviewFindingAttachments.count":"{count, plural, one {# нәтиже} other {# нәтиже}}","settings.agent.configuration.configToml":"саясатын","settings.agent.configuration.configToml.description":"Агент әрекетін баптау үшін конфигурацияңызды өңдеңіз","settings.agent.configuration.configToml.docs":"Құжаттар","settings.agent.configuration.subtitle":"Бұл параметрлер Codex қолданылатын барлық жерге қатысты","settings.automations.banner.danger":"Автоматтандыру қазіргі уақытта «Толық рұқсат» орнатылған әдепкі құмсалғыш параметрлерімен орындалады. «Толық рұқсат» көмегімен фондық автоматтандыруды іске қосу жоғары тәуекелмен байланысты, өйткені Codex файлдарды өзгерте алады, командаларды орындай алады және рұқсатсыз желіге кіре алады. Құмсалғыш параметрлерін жұмыс аймағына жазу режиміне дейін жаңарту және агенттің толық рұқсатпен қандай командаларды орындай алатынын іріктеп анықтау үшін <rulesDocsLink>ережелерді</rulesDocsLink> пайдалану ұсынылады.","settings.automations.banner.defaultHowTo.default":"Автоматтандыру әдепкі құмсалғыш параметрлерімен орындалады. Құрал шақырулары жұмыс кеңістігінен тыс файлдарды өзгертуді, желіге кіруді немесе компьютеріңіздегі қолданбалармен жұмыс істеуді талап етсе, қате шығады. Құмсалғыштан тыс командаларды <rulesDocsLink>ережелер</rulesDocsLink> арқылы таңдамалы түрде орындауға рұқсат беруге болады.","settings.automations.banner.defaultHowTo.readOnly":"Автоматтандыру «тек оқу» режиміне орнатылған әдепкі құмсалғыш параметрлерімен орындалады. Құрал шақырулары жұмыс кеңістігінен тыс файлдарды өзгертуді, желіге кіруді немесе компьютеріңіздегі қолданбалармен жұмыс істеуді талап етсе, қате шығады. Құмсалғыш параметрлерін жұмыс кеңістігіне жазу режимін орнату арқылы жаңарту ұсынылады.","settings.automations.cancel":"Бас тарту","settings.automations.create":"Жасау","settings.automations.cwdEmpty":"Жоба қалталары жоқ","settings.automations.cwdLabel":"Жобалар","settings.automations.cwdPlaceholder":"Папканы таңдаңыз","settings.automations.cwdSubtitle":"Автоматтандырудың нақты тармақты орындалғанын қаласаңыз, оны көмексөзіңізде нақтылай аласыз.","settings.automations.delete":"Жою","settings.automations.dialog.editTitle":"Автоматтандыруды өзгерту","settings.automations.dialog.newTitle":"Жаңа автоматтандыру","settings.automations.dialog.subtitle":"Фонда қайталанатын тапсырмаларды автоматтандырыңыз. Codex нәтижелерді кіріс қалтасына қосады немесе хабарлайтын ештеңе болмаса, тапсырманы автоматты түрде мұрағаттайды. <learnMoreLink>Көбірек білу</learnMoreLink>","settings.automations.dialog.title":"Автоматтандыру құру","settings.automations.executionCopy.git":"Автоматтандырулар арнайы жұмыс ағаштарында фондық режимде орындалады.","settings.automations.executionCopy.nonGit":"Нұсқаларды бақылау жүйесін қолданбайтын жобалардағы автоматтандыру тікелей жоба каталогында орындалады. Жеке жұмыс ағаштары үшін фондық режимде автоматтандыруды іске қосу үшін Git пайдалану ұсынылады.","settings.automations.executionEnvironment.local":"Құрылғыдағы","settings.automations.executionEnvironment.worktree":"Жұмыс ағашы","settings.automations.loading":"Жүктелуде...","settings.automations.nameLabel":"Аты","settings.automations.namePlaceholder":"Күзет бойынша қиындықтар бар-жоғын тексеріңіз.","settings.automations.pause":"Уақытша тоқтату","settings.automations.promptLabel":"Көмексөз","settings.automations.promptPlaceholder":"$Sentry ішінен қателерді көру","settings.automations.resume":"Жалғастыру","settings.automations.rruleSummaryFallback":"Бапталатын жоспар","settings.automations.runNow":"Тексеру","settings.automations.save":"Сақтау","settings.automations.scheduleBadge.dayCount":"{count} күн","settings.automations.scheduleBadge.interval":"{count} сағ","settings.automations.scheduleBadge.weekdays":"Апта күндері","settings.automations.scheduleBadge.weekends":"Сенбі және жексенбі","settings.automations.scheduleHeader":"Жоспар","settings.automations.scheduleHours":"сағат","settings.automations.scheduleLabel":"Іске қосу: әр","settings.automations.scheduleMode.daily":"Күнде","settings.automations.scheduleMode.interval":"Интервал","settings.automations.scheduleModeLabel":"Жоспар түрі","settings.automations.scheduleSummary.daily":"Күнде мына уақытта: {time}","settings.automations.scheduleSummary.interval":"Әр {count} сағ сайын","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# күн} other {# күн}}","settings.automations.scheduleSummary.intervalDays":"{interval}, {days} күні","settings.automations.scheduleSummary.intervalHourly":"Сағат бойынша","settings.automations.scheduleSummary.singleDay":"{day}, {time}","settings.automations.scheduleSummary.weekdays":"Апта күндері {time}","settings.automations.scheduleSummary.weekdaysLabel":"апта күндері","settings.automations.scheduleSummary.weekends":"Сенбі және жексенбі {time}","settings.automations.scheduleSummary.weekendsLabel":"сенбі және жексенбі","settings.automations.scheduleSummary.weekly":"{days}, {time}","settings.automations.scheduleWeekdays":"Қосу","settings.automations.weekdayState.excluded":"Қамтылмаған","settings.automations.weekdayState.included":"Қамтылған","settings.conversationDetail.steps":"Қадамдар","settings.conversationDetail.steps.description":"Пәрмендер мен нәтижелерді жасыру","settings.conversationDetail.stepsWithCommands":"Код пәрмендері бар қадамдар","settings.conversationDetail.stepsWithCommands.description":"Пәрмендері көрсету, нәтижені жию","settings.conversationDetail.stepsWithOutput":"Код нәтижесі бар қадамдар","settings.conversationDetail.stepsWithOutput.description":"Пәрмендерді көрсету және нәтижені жаю","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Мұрағатталған чаттар жоқ","settings.dataControls.archivedChats.error":"Мұрағатталған чаттарды жүктеу мүмкін болмады.","settings.dataControls.archivedChats.loading":"Мұрағатталған чаттар жүктелуде...","settings.dataControls.archivedChats.unarchive":"Мұрағаттан шығару","settings.dataControls.archivedChats.unarchiveError":"Чатты мұрағаттан шығару мүмкін болмады","settings.dataControls.archivedChats.unarchiveSuccess":"Мұрағаттан шығарылған тізбек. <viewNowLink> Қазір көру </viewNowLink>","settings.dataControls.archivedChats.untitled":"Тақырыпсыз чат","settings.editRow.headerPlaceholder":"Кілт","settings.editRow.removeEntry":"Нысанды жою","settings.editRow.valuePlaceholder":"Мән","settings.general.appearance":"Сыртқы көрінісі","settings.general.appearance.codeFont":"Код қарпінің өлшемі","settings.general.appearance.codeFont.description":"Барлық чаттарда және өзгерістерді салыстыру кезінде код үшін қолданылатын қаріпті және өлшемді реттеу","settings.general.appearance.codeFontFamily":"Код қарпінің тобы","settings.general.appearance.codeFontSize":"Кодтың қаріп өлшемі","settings.general.appearance.codeFontSize.units":"пиксель","settings.general.appearance.opaqueWindows.description":"Терезелер жартылай мөлдір жүйелік фонның орнына бірыңғай фон қолданатындай етіңіз.","settings.general.appearance.opaqueWindows.label":"Терезенің мөлдір емес фонын пайдалану","settings.general.appearance.sansFontFamily":"Sans қаріптер тобы","settings.general.appearance.sansFontFamily.description":"Codex UI үшін пайдаланылған қаріпті реттеу","settings.general.appearance.sansFontSize":"Sans қаріп өлшемі","settings.general.appearance.sansFontSize.units":"пиксель","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark бағдарламасын бірінші рет пайдаланған кезде мейрам әсерлерін толық экран режимінде көрсетеді.","settings.general.appearance.sparkCelebrationEffects.label":"Ұшқын мерекесі әсерлері","settings.general.appearance.theme":"Тақырып","settings.general.appearance.theme.dark":"Қараңғы","settings.general.appearance.theme.description":"Ашық, қараңғы немесе жүйеңізге сәйкес келетін түстерді қолдану","settings.general.appearance.theme.light":"Жарық","settings.general.appearance.theme.system":"Жүйе","settings.general.appearance.usePointerCursors.description":"Интерактивті элементтерге курсорды бағыттағанда, курсорды көрсеткіге ауыстыру","settings.general.appearance.usePointerCursors.label":"Көрсеткі курсорларын пайдалану","settings.general.enterBehavior.description":"Қосылған кезде, бірнеше жолды көмексөздерді жіберу үшін «{modifierSymbol} + enter» пернелерін басу қажет.","settings.general.enterBehavior.label":"Ұзын көмексөздер жіберу үшін «{modifierSymbol} + enter » пернесін басу қажет","settings.general.experimentalFeatures":"Тәжірибелік сипаттамалар (бета нұсқасы)","settings.general.experimentalFeatures.empty":"Тәжірибелік бета функциялары жоқ.","settings.general.experimentalFeatures.loading":"Тәжірибелік функциялар жүктелуде…","settings.general.experimentalFeatures.restartNote":"Тәжірибелік функция өзгерістерін қолдану үшін Codex қызметін қайта іске қосыңыз","settings.general.experimentalFeatures.toggle":"Қосу/өшіру {featureName}","settings.general.followUpQueueMode.description":"Codex жұмыс істеп тұрғанда кезекті қадағалау немесе ағымдағы процесті үзу","settings.general.followUpQueueMode.interrupt":"Басқару","settings.general.followUpQueueMode.label":"Қадағалау әрекеті","settings.general.followUpQueueMode.queue":"Кезек","settings.general.notifications":"Хабарландырулар","settings.general.power.preventSleepWhileRunning.description":"Codex тізбекті орындап жатқанда компьютерді ояу ұстаңыз.","settings.general.power.preventSleepWhileRunning.label":"Жүгіру кезінде ұйықтау күйін алдын алу","settings.git.branchPrefix.ariaLabel":"Тармақтың префиксі","settings.git.branchPrefix.description":"Префикс Codex қызметінде жаңа тармақ жасағанда пайдаланылады","settings.git.branchPrefix.label":"Тармақтың префиксі","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Тармақ прификсі сақталмады","settings.git.branchPrefix.save.success":"Тармақтың префиксі сақталды","settings.git.commitInstructions.ariaLabel":"Коммит нұсқаулары","settings.git.commitInstructions.description":"Коммит хабарламасын жасау көмексөздеріне қосылды","settings.git.commitInstructions.label":"Коммит нұсқаулары","settings.git.commitInstructions.placeholder":"Коммит хабарламасы бойынша нұсқаулық қосу...","settings.git.commitInstructions.save":"Сақтау","settings.git.commitInstructions.save.error":"Коммит нұсқауларын сақтау сәтсіз аяқталды","settings.git.commitInstructions.save.success":"Коммит нұсқаулары сақталды","settings.git.forcePush.ariaLabel":"Әрдайым мәжбүрлі жіберу","settings.git.forcePush.description":"Codex қызметінен өзгерістерді жіберу кезінде --force-with-lease параметрін пайдалану","settings.git.forcePush.label":"Әрдайым мәжбүрлі жіберу","settings.git.forcePush.save.disabled":"Әрдайым мәжбүрлі жіберу өшірулі","settings.git.forcePush.save.enabled":"Әрдайым мәжбүрлі жіберу қосулы","settings.git.forcePush.save.error":"Мәжбүрлі жіберу баптауы сақталмады","settings.git.prInstructions.ariaLabel":"Pull request нұсқаулары","settings.git.prInstructions.description":"Codex жасаған pull request мәтіндеріне қоса тіркелді","settings.git.prInstructions.label":"Pull request нұсқаулары","settings.git.prInstructions.placeholder":"Pull request бойынша нұсқаулық қосу...","settings.git.prInstructions.save":"Сақтау","settings.git.prInstructions.save.error":"Pull request нұсқауларын сақтау мүмкін болмады","settings.git.prInstructions.save.success":"Pull request нұсқаулары сақталды","settings.ide.defaultOpenTarget.description":"Файлдар мен қалталар әдепкі бойынша ашылатын орын","settings.ide.defaultOpenTarget.label":"Әдепкі ашылу орны","settings.ide.defaultOpenTarget.placeholder":"Нысандар табылмады","settings.ide.language.auto":"Автоматты анықтау","settings.ide.language.autoOption":"Автоматты анықтау","settings.ide.language.description":"Қолданба интерфейсінің тілі","settings.ide.language.label":"Тіл","settings.ide.language.search":"Тілдерді іздеу","settings.layout.actionButton":"Кеңейтімді қайта бастау","settings.layout.actionTitle":"Әрекеті бар параметрлер","settings.layout.fullWidthTitle":"Параметрлер (толық ені)","settings.layout.title":"Параметрлер","settings.localEnvironments.actions.add":"Әрекет қосу","settings.localEnvironments.actions.add.description":"Құралдар панелінен іске қосу үшін жаңа пәрмен жасаңыз.","settings.localEnvironments.actions.add.save":"Сақтау","settings.localEnvironments.actions.empty":"Пәрмендерді жергілікті құралдар панелінен іске қосу үшін әрекетті қосыңыз.","settings.localEnvironments.actions.icon.debug":"Қатені түзету","settings.localEnvironments.actions.icon.run":"Іске қосу","settings.localEnvironments.actions.icon.test":"Тексеру","settings.localEnvironments.actions.icon.tool":"Құрал","settings.localEnvironments.actions.item.button.delete":"Жою","settings.localEnvironments.actions.item.command":"Әрекет скрипті","settings.localEnvironments.actions.item.name":"Аты","settings.localEnvironments.actions.item.platforms":"Платформалар","settings.localEnvironments.actions.item.platforms.help":"Тек нақты операциялық жүйеде іске қосыңыз.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Платформаны таңдау","settings.localEnvironments.actions.item.platforms.specific":"Платформаға тән","settings.localEnvironments.actions.item.platforms.windows":"Терезелер","settings.localEnvironments.actions.item.tooltip.delete":"Жою","settings.localEnvironments.actions.title":"Әрекеттер","settings.localEnvironments.breadcrumb.back":"Артқа","settings.localEnvironments.breadcrumb.edit":"өңдеу","settings.localEnvironments.breadcrumb.root":"Орталар","settings.localEnvironments.environment.actions.description":"Бұл әрекеттер кез келген пәрмендерді іске қоса алады және тақырыпатта көрсетіледі.","settings.localEnvironments.environment.actionsLabel":"Әрекеттер","settings.localEnvironments.environment.create":"Жергілікті ортаны жасау","settings.localEnvironments.environment.defaultName":"құрылғыдағы","settings.localEnvironments.environment.edit":"Жергілікті ортаны өзгерту","settings.localEnvironments.environment.empty":"Осы жоба үшін әзірге ешқандай жергілікті орталар конфигурацияланбаған.","settings.localEnvironments.environment.name":"Аты","settings.localEnvironments.environment.setup":"Орнату скрипті","settings.localEnvironments.environment.setup.description":"Бұл скрипт жұмыс ағашын жасау үшін іске қосылады.","settings.localEnvironments.environment.setup.hint":"Жоба түбірінде іске қосылады.","settings.localEnvironments.environment.setup.platformOverrides":"Платформаны қайта анықтау","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} баптау сценарийін қосу","settings.localEnvironments.environment.setup.platformOverrides.description":"Нақты операциялық жүйелер үшін стандартты скрипттің орнын басады.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Алып тастау","settings.localEnvironments.environment.setup.script":"Скрипт","settings.localEnvironments.environment.title":"Орта деректері","settings.localEnvironments.file.missing":"Осы файлды алғаш рет жасау үшін сақтаңыз.","settings.localEnvironments.file.parseError":"Бар файлды талдау мүмкін емес. Сақтасаңыз, үстінен жазылады. ({error})","settings.localEnvironments.file.path":"Файл: {path}","settings.localEnvironments.file.readError":"Жергілікті орта деректерін жүктеу мүмкін емес. ({error})","settings.localEnvironments.file.title":"Жергілікті орта файлы","settings.localEnvironments.loading.body":"Жоба конфигурациясы алынуда.","settings.localEnvironments.loading.title":"Жергілікті орталар жүктелуде","settings.localEnvironments.preview.devOnly":"(тек ӘЗІРЛЕУШІ)","settings.localEnvironments.preview.save":"Сақтау","settings.localEnvironments.preview.saveError":"Файл сақталмады. ({error})","settings.localEnvironments.preview.title":"Алдын ала қарау","settings.localEnvironments.save.disabled.name":"Сақтау үшін орта атауын қосыңыз.","settings.localEnvironments.save.disabled.noChanges":"Сақталатын өзгертулер жоқ.","settings.localEnvironments.save.disabled.saving":"Сақталуда...","settings.localEnvironments.save.success":"Жергілікті орта файлы сақталды","settings.localEnvironments.unavailable.body":"Осы жоба үшін жергілікті орта параметрлерін жүктей алмадық.","settings.localEnvironments.unavailable.title":"Жергілікті орталар жоқ","settings.localEnvironments.workspace.add":"Жоба қосу","settings.localEnvironments.workspace.title":"Жоба","settings.localEnvironments.workspaceSelect.addLabel":"Орта қосу","settings.localEnvironments.workspaceSelect.description":"Жергілікті орталар Codex-ке жобаға арналған жұмыс ағаштарын қалай баптау керектігін көрсетеді. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Әзірге жобалар жоқ. Жергілікті орталарды конфигурациялау үшін біреуін қосыңыз.","settings.localEnvironments.workspaceSelect.errorLabel":"Ортаға назар аудару қажет","settings.localEnvironments.workspaceSelect.learnMore":"Көбірек білу","settings.localEnvironments.workspaceSelect.listLabel":"Бар жобалар","settings.localEnvironments.workspaceSelect.loading":"Жобалар жүктелуде","settings.localEnvironments.workspaceSelect.loadingLabel":"Орта жүктелуде","settings.localEnvironments.workspaceSelect.title":"Бір жобаны таңдау","settings.localEnvironments.workspaceSelect.viewAction":"Көру","settings.mcp.addServer":"Сервер қосу","settings.mcp.app.configure":"Конфигурациялау","settings.mcp.app.connect":"Қосылу","settings.mcp.apps.refresh":"Жаңарту","settings.mcp.detail.addArgument":"Аргумент қосу","settings.mcp.detail.addEnvVar":"Орта айнымалысын қосу","settings.mcp.detail.addEnvVarPassthrough":"Айнымалы қосу","settings.mcp.detail.args":"Аргументтер","settings.mcp.detail.back":"Артқа","settings.mcp.detail.command":"Іске қосу пәрмені","settings.mcp.detail.cwd":"Жұмыс каталогі","settings.mcp.detail.docs":"MCP құжаттамасын ашу","settings.mcp.detail.docs.link":"Құжаттар","settings.mcp.detail.envVarPassthrough":"Орта айнымалысын жіберу","settings.mcp.detail.envVars":"Орта айнымалылары","settings.mcp.detail.http.addEnvHeader":"Айнымалы қосу","settings.mcp.detail.http.addHeader":"Тақырыпат қосу","settings.mcp.detail.http.bearerToken":"Ұсынушы токенінің орта айнымалылысы","settings.mcp.detail.http.envHeaders":"Орта айнымалыларының тақырыпаттары","settings.mcp.detail.http.headers":"Тақырыпаттар","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Аты","settings.mcp.detail.save":"Сақтау","settings.mcp.detail.switchTransportNotice":"MCP сервер түрін ауыстырғыңыз келсе, алдымен жойыңыз.","settings.mcp.detail.titleExisting":"{name} MCP серверін жаңарту","settings.mcp.detail.titleNew":"Арнаулы MCP серверіне қосылу","settings.mcp.detail.transport.http":"Трансляциялауға мүмкіндік беретін HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Жою","settings.mcp.empty":"Арнаулы MCP серверлері қосылмаған","settings.mcp.myServers":"Арнаулы серверлер","settings.mcp.partnerServer.description.figma":"Figma толық контекстін қолдана отырып, жоғары сапалы код генерациялау","settings.mcp.partnerServer.description.github":"Жұмыс процестерін автоматтандыру және деректерді шығарып алу үшін GitHub API интерфейстерін біріктіру","settings.mcp.partnerServer.description.linear":"Linear қызметінің проблемаларды бақылау және жобаларды басқару жүйелерімен интеграциялау","settings.mcp.partnerServer.description.notion":"Құжаттарды оқу, беттерді жаңарту, тапсырмаларды басқару","settings.mcp.partnerServer.description.playwright":"Пайдаланушы интерфейсін жобалау және тестілеуді жүзеге асыру үшін браузерді автоматтандыруды біріктіру","settings.mcp.partnerServer.install":"Орнату","settings.mcp.partnerServer.installAndAuthenticate":"Орнату және аутентификациялау","settings.mcp.partnerServer.logoAlt":"{label} логотипі","settings.mcp.partnerServer.manage":"Басқару","settings.mcp.partnerServer.vendor":"авторы: {vendor}","settings.mcp.recommendedServers":"Ұсынылған серверлер","settings.mcp.restartApp":"Қайта бастау","settings.mcp.restartExtension":"Кеңейтімді қайта бастау","settings.mcp.server.enable":"Қосу","settings.mcp.server.login":"Аутентификациялау","settings.mcp.server.settings":"Параметрлер","settings.multiselect.createOption":"«{value}» жасау","settings.multiselect.removeOption":"Алып тастау","settings.nav.account":"Аккаунт","settings.nav.agent":"Конфигурация","settings.nav.ariaLabel":"Параметрлер","settings.nav.back":"Қолданбаға оралу","settings.nav.data-controls":"Мұрағатталған тізбектер","settings.nav.environments":"Бұлттық орталар","settings.nav.externalTooltip":"[alpha] Браузерде ашылады","settings.nav.general-settings":"Жалпы","settings.nav.git-settings":"Git","settings.nav.local-environments":"Орталар","settings.nav.mcp-settings":"MCP серверлері","settings.nav.notImplemented":"[alpha] Альфа нұсқасында жоқ","settings.nav.personalization":"Жекелендіру","settings.nav.skills-settings":"Дағдылар","settings.nav.usage-analytics":"Пайдалану және аналитика","settings.nav.worktrees":"Жұмыс ағаштары","settings.openSourceLicenses.back":"Артқа","settings.openSourceLicenses.loading":"Жүктелуде...","settings.openSourceLicenses.missing":"Үшінші тарап ескертпелері табылмады.","settings.openSourceLicenses.notSupported":"Бұл хостта әзірге жоқ.","settings.openSourceLicenses.rowDescription":"Қамтылған тәуелділіктер бойынша үшінші тарап ескертпелері","settings.openSourceLicenses.rowLabel":"Бастапқы коды ашық лицензиялары","settings.openSourceLicenses.subtitle":"Осы қолданбада қамтылған тәуелділіктер бойынша үшінші тарап ескертпелері","settings.openSourceLicenses.title":"Бастапқы коды ашық лицензиялары","settings.openSourceLicenses.view":"Көру","settings.personalization.agents.description":"Codex қажеттіліктеріңізге бейімдейтін нұсқауларды өңдеңіз. {learnMore}","settings.personalization.agents.learnMore":"Көбірек білу","settings.personalization.agents.loadError":"agents.md жүктеу мүмкін емес.","settings.personalization.agents.loading":"agents.md жүктелуде…","settings.personalization.agents.placeholder":"Бапталған нұсқаулықты қосу","settings.personalization.agents.retry":"Қайталау","settings.personalization.agents.save":"Сақтау","settings.personalization.agents.save.error":"agents.md сақталмады.","settings.personalization.agents.save.success":"agents.md сақталды","settings.personalization.agents.title":"Арнаулы нұсқаулар","settings.personalization.personality.description":"Codex жауаптары үшін әдепкі мәнерді таңдаңыз","settings.personalization.personality.label":"Даралық","settings.sample.contentBody":"Параметрлер тақталарын бірдей аралықта орналастыру үшін осы үлгіні пайдаланыңыз.","settings.sample.contentTitle":"Мазмұн блокының мысалы","settings.section.account":"Аккаунт","settings.section.agent":"Конфигурация","settings.section.data-controls":"Мұрағатталған тізбектер","settings.section.environments":"Бұлттық орталар","settings.section.external":"Альфа кезінде браузеріңізде ашылады","settings.section.general-settings":"Жалпы","settings.section.git-settings":"Git","settings.section.local-environments":"Орталар","settings.section.mcp-settings":"MCP серверлері","settings.section.mcp-settings.docs":"Құжаттар","settings.section.mcp-settings.subtitle":"Сыртқы құралдар мен дереккөздерді қосыңыз.","settings.section.personalization":"Жекелендіру","settings.section.skills-settings":"Дағдылар","settings.section.unavailable":"Әзірге альфа нұсқасында жоқ","settings.section.usage-analytics":"Пайдалану және аналитика","settings.section.worktrees":"Жұмыс ағаштары","settings.threadDetail.description":"Тізбектерде қанша пәрмен нәтижелерін көрсету керектігін таңдаңыз","settings.threadDetail.label":"Тізбек деректері","settings.worktrees.conversation.untitled":"Тақырыпсыз талқылау","settings.worktrees.delete.error":"Жұмыс ағашы жойылмады","settings.worktrees.empty.body":"Codex арқылы жасалған жұмыс ағаштары осында көрсетіледі.","settings.worktrees.empty.title":"Әзірге жұмыс ағаштары жоқ","settings.worktrees.error.body":"Жұмыс ағаштарын жүктеу кезінде бірдеңе дұрыс болмады.","settings.worktrees.error.retry":"Қайталау","settings.worktrees.error.title":"Жұмыс ағаштары жүктелмеді","settings.worktrees.loading.body":"Жұмыс ағашы деректері алынуда.","settings.worktrees.loading.title":"Жұмыс ағаштары жүктелуде","settings.worktrees.repository.loading":"Репозиторий метадеректері жүктелуде…","settings.worktrees.repository.unknown":"Белгісіз репозиторий","settings.worktrees.row.conversations":"Әңгімелер","settings.worktrees.row.conversations.empty":"Осы жұмыс ағашына байланыстырылған талқылаулар жоқ.","settings.worktrees.row.conversations.loading":"Талқылаулар жүктелуде...","settings.worktrees.row.delete":"Жою","settings.worktrees.row.title":"Жұмыс ағашы","sidebarElectron.addWorkspaceRoot":"Жаңа жоба қосу","sidebarElectron.archiveThread":"Тізбекті мұрағаттау","sidebarElectron.archiveThreadError":"Талқылауды мұрағаттау мүмкін болмады","sidebarElectron.collapseFolder":"Папканы жию","sidebarElectron.createStableWorktree.dialog.cancel":"Бас тарту","sidebarElectron.createStableWorktree.dialog.create":"Жасау","sidebarElectron.debugNavLink":"Қатені түзету","sidebarElectron.editWorkspaceRootOptionName":"Атауын өзгерту","sidebarElectron.expandFolder":"Папканы жаю","sidebarElectron.groupByMenu.recency":"Хронологиялық тізім","sidebarElectron.groupByMenu.title":"Реттеу","sidebarElectron.groupByMenu.workspace":"Жоба бойынша","sidebarElectron.inboxRouteNavLink":"Автоматтандыру","sidebarElectron.markThreadUnread":"Оқылмаған етіп белгілеу","sidebarElectron.missingWorkspaceRoot":"Жоба қалтасы жойылды немесе жылжытылды","sidebarElectron.newThread":"Жаңа тізбек","sidebarElectron.newThreadInGroup":"{folder} жаңа тізбек бастау","sidebarElectron.noRecentThreads":"Жуырда тізбектер болмады","sidebarElectron.noTasks":"Тізбектер жоқ","sidebarElectron.noTasks.start":"Жаңа жоба қосу","sidebarElectron.noTasksWithFilter":"Сүзгілерге сәйкес тізбектер жоқ","sidebarElectron.pinnedThreads":"Бекітілген тізбектер","sidebarElectron.recentNavLink":"Тізбектер","sidebarElectron.recentThreads":"Жуырдағы тізбектер","sidebarElectron.removeWorkspaceRootOption":"Алып тастау","sidebarElectron.renameThread":"Тізбек атауын өзгерту","sidebarElectron.renameThreadDialogAriaLabel":"Тізбек тақырыбы","sidebarElectron.renameThreadDialogCancel":"Бас тарту","sidebarElectron.renameThreadDialogPlaceholder":"Тақырып қосу…","sidebarElectron.renameThreadDialogSave":"Сақтау","sidebarElectron.renameThreadDialogSubtitle":"Қысқа әрі тануға оңай етіп таңдаңыз.","sidebarElectron.renameThreadDialogTitle":"Тізбек атауын өзгерту","sidebarElectron.renameThreadError":"Тізбек атауын өзгерту мүмкін болмады.","sidebarElectron.renameWorkspaceRootOptionLabel":"Көрсетілетін атау","sidebarElectron.showLess":"Азырақ көрсету","sidebarElectron.showMenu.all":"Барлық тізбектер","sidebarElectron.showMenu.relevant":"Тиісті","sidebarElectron.showMenu.relevantHint":"Ағымдағы тармақтар, жұмыс ағаштары немесе назарыңызды қажет ететін басқа тізбектер үшін тек соңғы талқылауларды көрсетеді.","sidebarElectron.showMenu.title":"Көрсету","sidebarElectron.showMenu.tooltip":"Сүзгілеу, сұрыптау және тізбектерді реттеу","sidebarElectron.showMenu.trigger":"Бүйірлік тақта тізбектерін сүзгілеу","sidebarElectron.showMore":"Басқаларын көрсету","sidebarElectron.skillsRouteNavLink":"Дағдылар","sidebarElectron.sortMenu.created":"Жасалды","sidebarElectron.sortMenu.title":"Сұрыптау реті","sidebarElectron.sortMenu.updated":"Жаңартылды","sidebarElectron.taskNavigation":"Автоматтандыру папкалары","sidebarElectron.tasksInFolder":"{folder} ішіндегі автоматтандырулар","sidebarElectron.workspaceOptions":"{folder} үшін жоба әрекеті","sidebarElectron.worktreeGroupTooltip":"Бұл Git жұмыс ағашы","skills.appsPage.createSkill":"+ Жаңа дағды","skills.appsPage.empty.skills":"Дағдылар табылмады","skills.appsPage.search.skills":"Дағдыларды іздеу","skills.appsPage.search.skills.label":"Дағдыларды іздеу","skills.appsPage.section.installedApps":"Орнатылды","skills.appsPage.section.skills":"Дағдылар","skills.appsPage.subheading":"Codex қызметіне ерекше қабілеттер дарытыңыз. <link>Көбірек білу</link>","skills.appsPage.tab.recommended":"Ұсынылады","skills.appsPage.tab.skills":"Дағдылар","skills.card.contentsError":"Дағды мазмұнын жүктеу мүмкін емес.","skills.card.disable":"Өшіру","skills.card.disableSuccess":"{skillName} дағды өшірілді","skills.card.disabledBadge":"Өшірілді","skills.card.enable":"Қосу","skills.card.enableSuccess":"{skillName} дағды қосылды","skills.card.loadingContents":"Дағды мазмұны жүктелуде...","skills.card.more":"Қосымша әрекеттер","skills.card.open":"Ашу","skills.card.removeFailed":"Дағдыны жою мүмкін болмады","skills.card.removeSuccess":"{skillName} дағды жойылды","skills.card.toggleEnabledError":"Дағды жаңартылмады","skills.card.try":"Байқап көру","skills.card.trySkill":"Дағдыны байқап көру","skills.card.uninstall":"Жою","skills.hero.dotLabel":"{index}-слайдқа өту","skills.hero.next":"Келесі ерекшеленген дағды","skills.hero.trySkill":"Дағдыны байқап көру","skills.page.createSkill":"+ Жаңа дағды","skills.page.empty":"Дағдылар табылмады","skills.page.filteredEmpty":"Сүзгілерге сәйкес дағдылар жоқ","skills.page.filteredEmptyDescription":"Іздеуді немесе ауқым сүзгілерін реттеп көріңіз","skills.page.heading":"Дағдылар","skills.page.loading":"Дағдылар жүктелуде...","skills.page.refreshSkills":"Жаңарту","skills.page.refreshSkillsToUseNew":"Жаңа дағды пайдалану үшін жаңарту","skills.page.search":"Дағдыларды іздеу","skills.page.search.label":"Дағдыларды іздеу","skills.page.subheading":"Codex қызметіне ерекше қабілеттер дарытыңыз. <link>Көбірек білу</link>","skills.preview.copyPrompt":"Сұрауды көшіру","skills.preview.examplePrompt":"Мысал үлгісі","skills.recommended.error":"Ұсынылған дағдыларды жүктеу мүмкін емес","skills.recommended.install":"Орнату","skills.recommended.installSkill":"Дағды орнату","skills.recommended.installSuccess":"{skillName} дағды орнатылды","skills.recommended.installed":"Орнатылды","skills.scope.admin":"Әкімші","skills.scope.adminInstalled":"Әкімші орнатылды","skills.scope.builtIn":"Жүйе","skills.scope.personal":"Жеке","skills.scope.repo":"Репозиторий","skills.scope.system":"Жүйе","skills.scope.team":"Команда","skills.scope.user":"Пайдаланушы","skills.section.installed":"Орнатылды","skills.section.recommended":"Ұсынылады","story.slidingToggle.existing":"Бар","story.slidingToggle.fromLocal":"Жергіліктіден","story.slidingToggle.new":"Жаңа","story.slidingToggle.toLocal":"Жергіліктіге","terminal.close":"Терминалды жабу","terminal.title":"Терминал","thinkingShimmer.default":"Ойлануда","threadEnvIcon.cloudTooltip":"Бұл сұхбат Codex Cloud бұлтты ортасында жүргізіледі.","threadEnvIcon.localTooltip":"Бұл талқылау құрылғыда жұмыс істеп тұр.","threadEnvIcon.worktreeTooltip":"Бұл талқылау жергілікті Git жұмыс ағашында жұмыс істеп тұр.","threadHeader.archiveConfirmCancel":"Бас тарту","threadHeader.archiveConfirmConfirm":"Мұрағаттау","threadHeader.copySessionId":"Сеанс идентификаторын көшіру","threadHeader.copyWorkingDirectory":"Жұмыс каталогін көшіру","threadHeader.forkIntoLocal":"Жергілікті тармақтау","threadHeader.forkIntoWorktree":"Жаңа жұмыс ағашына тармақтау","threadHeader.forkPendingWorktreePrompt":"Осы әңгімені жаңа жұмыс ағашына тармақтау","threadHeader.forkPendingWorktreeTitle":"Тармақталған әңгіме","threadHeader.forkThreadError":"Тізбек тармақтарға бөлінбеді","threadHeader.forkThreadRequiresGitRepo":"Жаңа жұмыс ағашында тармақ жасау үшін Git репозиторийі қажет","threadHeader.moreActions":"Тізбек әрекеттері","threadPage.newThread":"Жаңа тізбек","threadPage.runAction.changeEnvironment":"Ортаны өзгерту","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} әрекет","threadPage.runAction.environmentSelector.label":"Ортаны таңдау","threadPage.runAction.label":"Іске қосу","threadPage.runAction.missing.label":"Іске қосу әрекетін орнату","threadPage.runAction.setup.commandLabel":"Іске қосу пәрмені","threadPage.runAction.setup.description":"Codex қызметіне тәуелділікті қалай орнату керектігін және қолданбаны қалай іске қосу керектігін көрсетіңіз.","threadPage.runAction.setup.editMore":"Орта параметрлері","threadPage.runAction.setup.placeholder":"мысалы: npm install npm run","threadPage.runAction.setup.submit":"Сақтау және іске қосу","threadPage.runAction.setup.title":"Іске қосу","threadPage.runAction.tooltip.withEnvironment":"{environmentName} әрекет","threadPage.toggleDiffPanel":"Diff тақтасын қосу/өшіру","threadPage.toggleTerminal":"Терминалды ауыстыру","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Қалтаны ашу","toolSummaryForCmd.exploredFiles":"<verb>Тізімделген</verb> файлдар","toolSummaryForCmd.exploredFilesInPath":"{path} ішінде <verb>тізімделген</verb>","toolSummaryForCmd.exploringFiles":"Файлдарды <verb>тізімделуде</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} ішінде файлдарды <verb>тізімделуде</verb>","toolSummaryForCmd.ranGenericCommand":"<status>Пәрмен орындалды</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Іске қосылды</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Оқу</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Пәрмен орындалуда</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} үшін","toolSummaryForCmd.searchedFor":"{query} <verb>ізделінді</verb>","toolSummaryForCmd.searchedForFiles":"Файлдар <verb>ізделді</verb>","toolSummaryForCmd.searchedForInPath":"{path} ішінде {query} <verb>ізделді</verb>","toolSummaryForCmd.searchingFor":"{query} <verb>ізделуде</verb>","toolSummaryForCmd.searchingForFiles":"Файлдар <verb>ізделуде</verb>","toolSummaryForCmd.searchingForInPath":"{path} ішінде {query} <verb>ізделуде</verb>","traceRecording.startDetails.cancel":"Бас тарту","wham.diff.addComment":"Пікірлер қосу","wham.diff.binaryFile":"Бинарлық файл көрсетілмейді","wham.diff.noContent":"Контент жоқ","wham.fileTag.deleted":"Жойылды","wham.fileTag.new":"Жаңа","wham.formattedRelativeDateTime.compactDaysAgo":"{value} күн","wham.formattedRelativeDateTime.compactHoursAgo":"{value} сағ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} мин","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} ай","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} апта","wham.formattedRelativeDateTime.compactYearsAgo":"{value} жыл","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Тапсырмаңыз орындалып жатыр","wham.whamProposedTask.title":"Ұсынылған тапсырма","wham.whamProposedTask.useSuggestion":"Ұсынысты пайдалану","workspaceRootDialog.addError":"Жоба қосылмады","workspaceRootDialog.cancel":"Бас тарту","workspaceRootDialog.confirmAdd":"Жоба қосу","workspaceRootDialog.confirmPick":"Жобаны пайдалану","workspaceRootDialog.description":"Жоба ретінде пайдалану үшін {host} ішінен жолды енгізіңіз.","workspaceRootDialog.pathLabel":"Жоба жолы","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Жоба жолын қосу","workspaceRootDialog.title.pick":"Жоба жолын таңдау","worktreeInitV2.cancel":"Бас тарту","worktreeInitV2.notification.failedTitle":"Жұмыс ағашы орнатылмады","worktreeInitV2.output.empty":"Нәтижені күтуде...","worktreeInitV2.status.error":"Жұмыс ағашы орнатылмады.","worktreeInitV2.status.running":"Жұмыс ағашын жасауда және орнатуды іске қосуда.","worktreeInitV2.status.runningFork":"Осы әңгімеден тармақ жасау үшін жұмыс ағашы жасалуда.","worktreeInitV2.status.success":"Жұмыс ағашы дайын.","worktreeInitV2.title":"Жұмыс ағашы жасалуда","worktreeInitV2.workLocallyInstead":"Орнына жергілікті жұмыс істеу","worktreeRestoreBanner.body":"Диск кеңістігін сақтау үнемдеу үшін бұл тізбектің жұмыс ағашы жойылды","worktreeRestoreBanner.missing.body":"Бұл тізбектің жұмыс каталогі енді жоқ","worktreeRestoreBanner.missing.title":"Ағымдағы жұмыс каталогі жоқ","worktreeRestoreBanner.restore.error":"Жұмыс ағашын қалпына келтіру мүмкін емес: {message}","worktreeRestoreBanner.restore.success":"Жұмыс ағашы қалпына келтірілмеді","worktreeRestoreBanner.restoreCta":"Жұмыс ағашын қалпына келтіру","worktreeRestoreBanner.title":"Жұмыс ағашы тазаланды"};Object.assign(e,globalThis.codexI18nOverrides?.["kk"]);export{e as default};
 //# sourceMappingURL=kk-bO1Rjbiq.js.map
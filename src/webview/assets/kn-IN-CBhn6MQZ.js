@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"ಕಾಪಿ ಮಾಡಿ","app.sidebar.hide":"ಸೈಡ್‌ಬಾರನ್ನು ಮರೆಮಾಡಿ","app.sidebar.show":"ಸೈಡ್‌ಬಾರನ್ನು ತೋರಿಸಿ","app.sidebar.tooltip":"ಸೈಡ್‌ಬಾರ್ ಅನ್ನು ಟಾಗಲ್ ಮಾಡಿ","appHeader.installUpdate":"ಅಪ್ಡೇಟ್ ಮಾಡಿ","appSunset.body":"ಈ ಆಪ್‌ನ ಈ ಆವೃತ್ತಿಗೆ ಇನ್ನು ಬೆಂಬಲವಿಲ್ಲ. ದಯವಿಟ್ಟು ಇತ್ತೀಚಿನ ಆವೃತ್ತಿಯನ್ನು <here>ಇಲ್ಲಿ</here> ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ.","appSunset.title":"ಅಪ್ಡೇಟ್ ಅವಶ್ಯಕತೆಯಿದೆ","automation.updateDirective.create":"ಕ್ರಿಯೇಟ್ ಮಾಡಿ","automation.updateDirective.open":"ತೆರೆಯಿರಿ","automation.updateDirective.untitled":"ಹೆಸರಿಲ್ಲದ ತನ್ನಡೆತ","automation.updateDirective.update":"ಅಪ್ಡೇಟ್ ಮಾಡಿ","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# ಪ್ರಯತ್ನ} other {# ಪ್ರಯತ್ನಗಳು}}","cloudTaskRow.archiveError":"ಕೆಲಸವನ್ನು ಆರ್ಕೈವ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","code.diff.requestChange":"ಚೇಂಜ್ ಕೋರಿಕೊಳ್ಳಿ","code.diffComment.cancel":"ರದ್ದುಮಾಡಿ","code.diffComment.comment":"ಅನಿಸಿಕೆ","code.diffComment.delete":"ಡಿಲೀಟ್ ಮಾಡಿ","code.diffComment.save":"ಸೇವ್ ಮಾಡಿ","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"ಯಾವುದೇ ದೊರೆತಗಳನ್ನು ರಿಪೋರ್ಟ್‌ ಮಾಡಲಾಗಿಲ್ಲ.","codex.alert.closeAriaLabel":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.appUpsellBanner.cbpApi.message":"ಕೋಡೆಕ್ಸ್‌ ಆಪ್‌ನೊಂದಿಗೆ ಬಿರುಸಾಗಿ ಕಟ್ಟಿ. ಈಗಲೇ ಡೌನ್‌ಲೋಡ್‌ ಮಾಡಿ ಇಲ್ಲವೇ {learnMoreLink}. ","codex.appUpsellBanner.download":"ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ‌‌","codex.appUpsellBanner.freeGo.message":"ಮಾರ್ಚ್‌ 2ನೇ ತೇದಿಯವರೆಗೆ ನಿಮ್ಮ ಪ್ಲಾನ್‌ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ ಇರುತ್ತದೆ. ಬಿರುಸಾಗಿ ಕಟ್ಟಲು ಕೋಡೆಕ್ಸ್‌ ಆಪ್‌ ಬಳಸಿ ನೋಡಿ.","codex.appUpsellBanner.later":"ಆಮೇಲೆ","codex.appUpsellBanner.learnMoreLowercase":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","codex.appUpsellBanner.new":"ಹೊಸ","codex.appUpsellBanner.proPlusBusiness.message":"ಏಪ್ರಿಲ್ 2ನೇ ತೇದಿಯವರೆಗೆ 2x ರೇಟ್‌ ಎಲ್ಲೆಗಳೊಂದಿಗೆ ಕೋಡೆಕ್ಸ್‌ ಆಪ್‌ ಬಳಸಿ ನೋಡಿ. ಈಗಲೇ ಡೌನ್‌ಲೋಡ್‌ ಮಾಡಿ ಇಲ್ಲವೇ {learnMoreLink}.","codex.appUpsellBanner.title":"ಕೋಡೆಕ್ಸ್‌ ಆಪ್‌‌","codex.applyDropdown.header.changes":"ಚೇಂಜಸ್","codex.applyDropdown.header.fileCount":"{count, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}}","codex.applyDropdown.header.rows":"ಅಡ್ಡಸಾಲುಗಳು","codex.applyDropdown.header.title":"ಚೇಂಜಸ್ ಅಪ್ಲೈ ಮಾಡಿ","codex.applyDropdown.header.workspace":"ಪ್ರಾಜೆಕ್ಟ್","codex.applyDropdown.results.conflicted":"{count, plural, one {1 ಫೈಲ್‌ಗೆ ತಿಕ್ಕಾಟವಿದೆ:} other {{count} ಫೈಲ್‌ಗಳಿಗೆ ತಿಕ್ಕಾಟವಿದೆ:}}","codex.applyDropdown.results.empty":"ಯಾವುದೇ ಫೈಲ್‌ಗಳನ್ನು ಕಾಪಿ ಮಾಡಿಲ್ಲ","codex.applyDropdown.results.skipped":"{count, plural, one {1 ಫೈಲ್‌ ಅನ್ನು ಬಿಟ್ಟುಬಿಡಲಾಗಿದೆ:} other {{count} ಫೈಲ್‌ಗಳನ್ನು ಬಿಟ್ಟುಬಿಡಲಾಗಿದೆ:}}","codex.applyOrRevertBanner.apply":"ಅಪ್ಲೈ ಮಾಡಿ","codex.applyOrRevertBanner.applyMessage":"ಚೇಂಜಸ್ ಅನ್ನು ಬಳಸಿ ಇಲ್ಲೇ ಕಂಟಿನ್ಯೂ ಮಾಡಬೇಕೇ?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ಈ ಟಾಸ್ಕ್ ಅನ್ನು {environment} ನಲ್ಲಿ ಮಾಡಿರುವುದರಿಂದ ಅದನ್ನು ಸರಾಗವಾಗಿ ಅಪ್ಲೈ ಮಾಡಲು ಆಗದಿರಬಹುದು.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment} ನಲ್ಲಿ ಚೇಂಜಸ್ ಮಾಡಲಾಗಿದೆ, ಹಾಗಾಗಿ ಅದನ್ನು ಸರಾಗವಾಗಿ ಅಪ್ಲೈ ಮಾಡಲು ಆಗದಿರಬಹುದು.","codex.applyOrRevertBanner.reapply":"ಮತ್ತೆ ಬಳಸಿ","codex.applyOrRevertBanner.revert":"ರೀವರ್ಟ್ ಮಾಡಿ","codex.applyOrRevertBanner.revertMessage":"ಅಪ್ಲೈ ಮಾಡಿದ ಚೇಂಜಸ್ ಅನ್ನು ಹಿಂದಿದ್ದಂತೆ ಮಾಡಬೇಕೇ?","codex.applyResultsDialog.applied":"ಸರಾಗವಾಗಿ ಅಪ್ಲೈ ಮಾಡಲಾಗಿದೆ ({count})","codex.applyResultsDialog.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.applyResultsDialog.conflicted":"ತಿಕ್ಕಾಟವಿರುವುದು ({count})","codex.applyResultsDialog.noDetails":"ಫೈಲ್ ವಿವರಗಳು ದೊರೆಯುತ್ತಿಲ್ಲ.","codex.applyResultsDialog.skipped":"{count} ಬಿಟ್ಟುಬಿಡಲಾಯಿತು","codex.applyResultsDialog.title":"ಫಲಿತಾಂಶಗಳನ್ನು ಅಪ್ಲೈ ಮಾಡಿ","codex.archiveInfo":"{dataControlsLink} ನಲ್ಲಿ ಆರ್ಕೈವ್ ಮಾಡಿದ ಚಾಟ್‌ಗಳನ್ನು ನೋಡಿ.","codex.archiveInfo.dataControlsLink":"ಡೇಟಾ ಹತೋಟಿಗಳು","codex.archiveInfo.electron":"{settingsLink} ನಲ್ಲಿ ಆರ್ಕೈವ್ ಮಾಡಿದ ಚಾಟ್‌ಗಳನ್ನು ನೋಡಿ","codex.archiveInfo.extension":"ನಿಮ್ಮ .codex ಫೋಲ್ಡರ್‌ನಲ್ಲಿ ಆರ್ಕೈವ್‌ ಮಾಡಿದ ಚಾಟ್‌ಗಳನ್ನು ನೋಡಿ.","codex.archiveInfo.settingsLink":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.banner.content.description":"ಟಾಸ್ಕ್ ಗಳನ್ನು ಒಟ್ಟೊಟ್ಟಿಗೆ ಮಾಡಿ, ಎಲ್ಲಾದರೂ ಮುನ್ನಡೆಯ ಜಾಡುಹಿಡಿಯಿರಿ, ಹಾಗೂ AI ನೊಂದಿಗೆ PR ಗಳನ್ನು ರಿವ್ಯೂ ಮಾಡಿ.","codex.banner.content.headline":"ಕೋಡೆಕ್ಸ್ ಎಲ್ಲವನ್ನೂ ಮಾಡುತ್ತದೆ.","codex.cloudTaskRow.archiveTask":"ಟಾಸ್ಕ್ ಆರ್ಕೈವ್ ಮಾಡಿ","codex.cloudTaskRow.confirmArchiveTask":"ದೃಢೀಕರಿಸಿ","codex.command.feedback":"ಫೀಡ್ಬ್ಯಾಕ್","codex.command.findInThread":"ಹುಡುಕಿ","codex.command.forceReloadSkills":"ಸ್ಕಿಲ್‌ಗಳನ್ನು ಒತ್ತಾಯದಿಂದ ಮತ್ತೆ ಲೋಡ್‌ ಮಾಡಿ","codex.command.logOut":"ಲಾಗ್ ಔಟ್","codex.command.manageTasks":"ಟಾಸ್ಕ್ ಗಳನ್ನು ನಿರ್ವಹಿಸಿ","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"ಹಿಂದಕ್ಕೆ","codex.command.navigateForward":"ಮುಂದಕ್ಕೆ","codex.command.newThread":"ಹೊಸ ಥ್ರೆಡ್‌","codex.command.nextThread":"ಮುಂದಿನ ಥ್ರೆಡ್","codex.command.openFolder":"ಫೋಲ್ಡರ್ ತೆರೆಯಿರಿ","codex.command.openSkills":"ಸ್ಕಿಲ್‌ಗಳಿಗೆ ಹೋಗಿ","codex.command.openThreadOverlay":"ಥ್ರೆಡ್‌ ಹೊರತೆಗೆಯಿರಿ","codex.command.personalitySettings":"ಪರ್ಸನಾಲಿಟಿ","codex.command.previousThread":"ಹಿಂದಿನ ಥ್ರೆಡ್‌","codex.command.settings":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.command.toggleDiffPanel":"diff ಪ್ಯಾನಲ್‌ ಟಾಗಲ್ ಮಾಡಿ‌","codex.command.toggleSidebar":"ಸೈಡ್‌ಬಾರ್ ಅನ್ನು ಟಾಗಲ್ ಮಾಡಿ","codex.command.toggleTerminal":"ಟರ್ಮಿನಲ್ ಟಾಗಲ್‌","codex.commandGroup.app":"ಆ್ಯಪ್‌","codex.commandGroup.configure":"ಸಂರಚನೆ ಮಾಡಿ","codex.commandGroup.navigation":"ನ್ಯಾವಿಗೇಷನ್","codex.commandGroup.panels":"ಪ್ಯಾನಲ್‌ಗಳು","codex.commandGroup.skills":"ಸ್ಕಿಲ್‌ಗಳು","codex.commandGroup.thread":"ಥ್ರೆಡ್","codex.commandGroup.workspace":"ಪ್ರಾಜೆಕ್ಟ್","codex.commandMenu.noResults":"ಹೊಂದುವಂತದ್ದು ಸಿಗಲಿಲ್ಲ","codex.commandMenu.searchPlaceholder":"ಕಮಾಂಡ್‌ಗಳನ್ನು ಹುಡುಕಿ","codex.commandMenu.suggestedGroup":"ಕಣ್ಣಾಡಿಸಿ","codex.commandMenu.switchWorkspace":"ಪ್ರಾಜೆಕ್ಟ್ ಮಾರ್ಪಡಿಸಿ","codex.commandMenu.title":"ಕಮಾಂಡ್ ಮೆನ್ಯು","codex.common.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","codex.composer.searchBranches":"ಕವಲುಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಿ","codex.dialog.basic.body":"ಇದು, ರ್‍ಯಾಡಿಕ್ಸ್‌ ಡಯಲಾಗ್‌ ಸುತ್ತ ನಮ್ಮ ರ್‍ಯಾಪರ್‌ ಬಳಸಿದ ಸರಳ ಮೋಡಲ್‌ ಡಯಲಾಗ್‌ ಆಗಿದೆ.","codex.dialog.basic.cancel":"ರದ್ದುಮಾಡಿ","codex.dialog.basic.confirm":"ದೃಢೀಕರಿಸಿ","codex.dialog.basic.open":"ಡಯಲಾಗ್ ತೆರೆಯಿರಿ","codex.dialog.basic.title":"ಸ್ಯಾಂಪಲ್‌ ಡಯಲಾಗ್‌","codex.dialog.long.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.dialog.long.line":"ಡಯಲಾಗ್‌ ಒಳಗೆ ಉದ್ದ ಕಾಂಟೆಂಟ್‌ ತೋರಿಸಲು ಸರಿಸಬಲ್ಲ ಸಾಲು {index}","codex.dialog.long.open":"ಉದ್ದ ಡಯಲಾಗ್ ತೆರೆಯಿರಿ","codex.dialog.long.title":"ಉದ್ದ ಡಯಲಾಗ್ ಕಾಂಟೆಂಟ್‌","codex.dialog.unstyled.body":"ಡಯಲಾಗ್‌ ಕಾಂಟೆಂಟ್‌ ಅಂದಗೊಳಿಸುವುದನ್ನು ಕರೆಮಾಡುವವರು ಹೇಗೆ ಇಡಿಯಾಗಿ ಹಿಡಿತದಲ್ಲಿಡಬಹುದು ಎಂದು ಈ ಸ್ಟೋರಿ ತೋರಿಸುತ್ತದೆ.","codex.dialog.unstyled.open":"ಅಂದಗೊಳಿಸದ ಡಯಲಾಗ್‌ ತೆರೆಯಿರಿ","codex.dialog.unstyled.title":"ಅಂದಗೊಳಿಸದ ಕಾಂಟೆಂಟ್‌","codex.diff.openInEditorPrompt.openButton":"ಎಡಿಟರ್‌ನಲ್ಲಿ ತೆರೆಯಿರಿ","codex.diff.openInEditorPrompt.singleLine":"ಈ ಫೈಲ್‌ ಇಲ್ಲಿ ತೋರಿಸಲು ಆಗದಷ್ಟು ದೊಡ್ಡದಿದೆ.","codex.diffView.failedToDecodeBase64Diff":"base64 diff ಗುಟ್ಟುಬಿಡಿಸಲು ಆಗಲಿಲ್ಲ","codex.diffView.filesChanged":"{fileCount, plural, one {# ಫೈಲ್ ಚೇಂಜ್ ಆಗಿದೆ} other {# ಫೈಲ್‌ಗಳು ಚೇಂಜ್ ಆಗಿವೆ}}","codex.diffView.imagePreviewAlt":"ಇಮೇಜ್ ಪ್ರಿವ್ಯೂ","codex.diffView.imagePreviewEmpty":"ಇಮೇಜ್ ಇಲ್ಲ","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"diff ಡೇಟಾ ಇಲ್ಲ","codex.diffView.pdfPreview.nextPage":"ನೆಕ್ಸ್ಟ್ ಪುಟ‌","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"ಹಿಂದಿನ ಪುಟ","codex.diffView.pdfPreviewEmpty":"PDF ಪ್ರಿವ್ಯೂ ಇಲ್ಲ","codex.diffView.pdfPreviewError":"PDF ಪ್ರಿವ್ಯೂ ರೆಂಡರ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ","codex.diffView.richPreviewDisable":"ರಿಚ್‌ ಪ್ರಿವ್ಯೂ ಡಿಸೇಬಲ್‌ ಮಾಡಿ","codex.diffView.richPreviewEnable":"ರಿಚ್‌ ಪ್ರಿವ್ಯೂ ಎನೇಬಲ್‌ ಮಾಡಿ","codex.diffView.richPreviewLoading":"ಪ್ರಿವ್ಯೂ ಲೋಡ್ ಆಗುತ್ತಿದೆ...","codex.diffView.richPreviewToggle":"ರಿಚ್‌ ಪ್ರಿವ್ಯೂ ಟಾಗಲ್ ಮಾಡಿ","codex.diffView.switchToUnified":"ಒಗ್ಗೂಡಿಸಿದ diff ಗೆ ಹೋಗಿ","codex.environmentSelector.noEnvironment":"ಯಾವುದೇ ಪರಿಸರ ಇಲ್ಲ","codex.environments.environmentSettings":"ಪರಿಸರ ಸೆಟಿಂಗ್‌ಗಳು","codex.environments.learnMore":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","codex.environments.listError":"ಪರಿಸರಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","codex.environments.noEnvironmentsFound":"ಯಾವುದೇ ಪರಿಸರಗಳು ಕಂಡುಬಂದಿಲ್ಲ.","codex.environments.searchError":"ಪರಿಸರಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","codex.errorBoundary.genericError":"ಓಹ್, ಏನೊ ತಪ್ಪಾಗಿದೆ","codex.errorBoundary.goHome":"ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ","codex.file.patch.missing":"ಈ ಫೈಲ್‌ಗೆ ಪ್ಯಾಚ್‌ ಕಟ್ಟಲು ಆಗುತ್ತಿಲ್ಲ.","codex.gallery.automations.cwdLabel":"ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು","codex.gallery.automations.nameLabel":"ಹೆಸರು","codex.gallery.automations.namePlaceholder":"ಒಂದು ಕಾರ್ಯವನ್ನು ಸಾರಾಂಶಗೊಳಿಸಿ","codex.gallery.automations.promptLabel":"ಪ್ರಾಂಪ್ಟ್","codex.gallery.automations.promptPlaceholder":"ಕೋಡೆಕ್ಸ್‌ ಏನು ಮಾಡಬೇಕೆಂದು ವಿವರಿಸಿ","codex.gallery.dialogs.automation.label":"ತನ್ನಡೆತ ಡಯಲಾಗ್‌","codex.gallery.dialogs.basic.body":"ನೇರ ಖಚಿತಪಡಿಸುವಿಕೆಗಳು ಇಲ್ಲವೇ ಕಿರುರೂಪಗಳಿಗೆ ಈ ಲೇಔಟ್‌ ಬಳಸಿ.","codex.gallery.dialogs.basic.cancel":"ರದ್ದುಮಾಡಿ","codex.gallery.dialogs.basic.confirm":"ಖಚಿತಪಡಿಸಿ","codex.gallery.dialogs.basic.label":"ಮೂಲ ಡಯಲಾಗ್‌","codex.gallery.dialogs.basic.title":"ಉದಾಹರಣಾ ಡಯಲಾಗ್‌","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"ಸಮಸ್ಯೆಯನ್ನು ವಿವರಿಸಿ","codex.gallery.dialogs.feedbackSubmission.bad":"ಕೆಟ್ಟ ಫಲಿತಾಂಶ","codex.gallery.dialogs.feedbackSubmission.bug":"ಬಗ್‌","codex.gallery.dialogs.feedbackSubmission.good":"ಒಳ್ಳೆಯ ಫಲಿತಾಂಶ","codex.gallery.dialogs.feedbackSubmission.includeLogs":"ಈಗಿನ ಕೋಡೆಕ್ಸ್ ಸೆಶನ್‌ ಲಾಗ್‌ಗಳನ್ನು ಸೇರಿಸಿ","codex.gallery.dialogs.feedbackSubmission.label":"ಪ್ರತಿಕ್ರಿಯೆ ಸಲ್ಲಿಕೆ","codex.gallery.dialogs.feedbackSubmission.other":"ಇತರೆ","codex.gallery.dialogs.feedbackSubmission.placeholder":"ತೊಡಕು ಏನೆಂದು ಇಲ್ಲಿ ಬಣ್ಣಿಸಿ","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"ಕಾಪುಗೆ ಪರಿಶೀಲನೆ","codex.gallery.dialogs.feedbackSubmission.submit":"ಸಬ್ಮಿಟ್ ಮಾಡಿ","codex.gallery.dialogs.feedbackSubmission.title":"ಫೀಡ್ಬ್ಯಾಕ್","codex.gallery.dialogs.feedbackSuccess.body":"ಅನಿಸಿಕೆ ಅಪ್ಲೋಡ್‌ ಆಗಿದೆ. ತೊಂದರೆ ಮುಂದುವರಿದರೆ, ದಯವಿಟ್ಟು GitHub ತೊಡಕು ತೆರೆಯಿರಿ ಇಲ್ಲವೇ ಈಗಾಗಲೇ ತೆರೆದ ತೊಡಕಿನಲ್ಲಿ ಥ್ರೆಡ್‌ ಐಡಿ ಹೆಸರಿಸಿ.","codex.gallery.dialogs.feedbackSuccess.dismiss":"ತಳ್ಳಿಹಾಕಿ","codex.gallery.dialogs.feedbackSuccess.label":"ಪ್ರತಿಕ್ರಿಯೆ ಯಶಸ್ವಿಯಾಗಿದೆ","codex.gallery.dialogs.feedbackSuccess.title":"ಫೀಡ್ಬ್ಯಾಕ್ ಅಪ್ಲೋಡ್ ಆಗಿದೆ","codex.gallery.dialogs.gitApplyResults.applied":"ಸರಾಗವಾಗಿ ಅನ್ವಯಿಸಲಾಗಿದೆ (2)","codex.gallery.dialogs.gitApplyResults.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.gallery.dialogs.gitApplyResults.conflicted":"ತಿಕ್ಕಾಟವಿರುವುದು (1)","codex.gallery.dialogs.gitApplyResults.label":"ಫಲಿತಾಂಶಗಳನ್ನು ಅಪ್ಲೈ ಮಾಡಿ","codex.gallery.dialogs.gitApplyResults.title":"ಫಲಿತಾಂಶಗಳನ್ನು ಅಪ್ಲೈ ಮಾಡಿ","codex.gallery.dialogs.gitPushError.body":"ಇತ್ತೀಚಿನ ಮಾರ್ಪಾಡುಗಳನ್ನು ಎಳೆಯಿರಿ ಇಲ್ಲವೇ ದೂರದ ಇತಿಹಾಸವನ್ನು ಕಾಪುಗೆಯಿಂದ ತಿದ್ದಿಬರೆಯಬಹುದು ಎಂದು ನಿಮಗೆ ತಿಳಿದಿದ್ದರೆ ಒತ್ತಾಯದಿಂದ ಪುಶ್ ಮಾಡಿ.","codex.gallery.dialogs.gitPushError.cancel":"ರದ್ದುಮಾಡಿ","codex.gallery.dialogs.gitPushError.force":"ಒತ್ತಾಯದ ಪುಶ್","codex.gallery.dialogs.gitPushError.label":"ಪುಶ್ ತಪ್ಪು","codex.gallery.dialogs.gitPushError.subtitle":"ನಿಮ್ಮ ಕವಲು ಮೂಲ/ಮುಖ್ಯ ಕವಲಿನ ಹಿಂದೆ ಇದೆ.","codex.gallery.dialogs.gitPushError.title":"ಚೇಂಜಸ್ ಅನ್ನು ಪುಶ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.gallery.dialogs.gitRevert.cancel":"ರದ್ದುಮಾಡಿ","codex.gallery.dialogs.gitRevert.confirm":"ರೀವರ್ಟ್ ಮಾಡಿ","codex.gallery.dialogs.gitRevert.label":"ಚೇಂಜಸ್ ರಿವರ್ಟ್ ಮಾಡಿ","codex.gallery.dialogs.gitRevert.skip":"ಮತ್ತೆ ಕೇಳಬೇಡಿ","codex.gallery.dialogs.gitRevert.subtitle":"ಈ ಆಕ್ಶನ್‌ ಈ ಎಲ್ಲಾ ಚೇಂಜಸ್ ಅನ್ನು ರಿಮೂವ್ ಮಾಡುತ್ತದೆ.","codex.gallery.dialogs.gitRevert.title":"ಚೇಂಜಸ್ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಬೇಕೇ?","codex.gallery.dialogs.longForm.label":"ಉದ್ದ ರೂಪದ ಡಯಲಾಗ್‌","codex.gallery.dialogs.proseModal.body":"ಈ ಮಾಡೆಲ್‌ ಶೈಲಿಯನ್ನು ಉದ್ದವಾದ ಸೂಚನೆಗಳು, ಆನ್‌ಬೋರ್ಡಿಂಗ್‌ ಇಲ್ಲವೇ ರಿಚ್‌ ಕಾಂಟೆಂಟ್‌ ತುಣುಕುಗಳಿಗೆ ಬಳಸಲಾಗುತ್ತದೆ.","codex.gallery.dialogs.proseModal.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.gallery.dialogs.proseModal.subtitle":"ಉದ್ದ ಬಗೆಯ ದಾರಿತೋರುವಿಕೆ ಇಲ್ಲವೇ ಡಾಕ್ಯುಮೆಂಟೇಶನ್‌ ಅನ್ನು ಇಲ್ಲಿ ಹಂಚಿಕೊಳ್ಳಿ.","codex.gallery.dialogs.proseModal.title":"ಪ್ರೋಸ್‌ ಮೋಡಲ್‌","codex.gallery.dialogs.submitBlocked.label":"ಸಲ್ಲಿಕೆ ಅಡ್ಡಗೊಳಿಸಲಾಗಿದೆ","codex.gallery.dialogs.submitBlocked.message":"ಪ್ರಾಜೆಕ್ಟ್ ದೊರೆಯುತ್ತಿಲ್ಲವಾದ್ದರಿಂದ ನಿಮ್ಮ ಸಂದೇಶವನ್ನು ಕಳುಹಿಸಲು ಆಗಲಿಲ್ಲ.","codex.gallery.dialogs.submitBlocked.ok":"ಸರಿ","codex.gallery.dialogs.submitBlocked.title":"ಸಂದೇಶ ಕಳುಹಿಸಲು ಆಗುತ್ತಿಲ್ಲ","codex.gallery.dialogs.title":"ಡೈಲಾಗ್‌ಗಳು","codex.gallery.dropdown.filterPlaceholder":"ಐಟಂಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ ","codex.gallery.dropdowns.actionRow":"ಆಕ್ಶನ್‌ ಅಡ್ಡಸಾಲುಗಳು","codex.gallery.dropdowns.actionRow.disabled":"ಡಿಸೇಬಲ್ ಮಾಡಲಾದ ಆಕ್ಶನ್‌","codex.gallery.dropdowns.actionRow.primary":"ಪ್ರಮುಖ ಆಕ್ಶನ್‌","codex.gallery.dropdowns.actionRow.secondary":"ಎರಡನೇ ಆಕ್ಶನ್‌","codex.gallery.dropdowns.actionRow.trigger":"ಆಕ್ಶನ್‌ಗಳನ್ನು ತೋರಿಸಿ","codex.gallery.dropdowns.basic":"ಅಡಿಮಟ್ಟದ ಜಾರುಪಟ್ಟಿ","codex.gallery.dropdowns.basic.newFile":"ಹೊಸ ಫೈಲ್","codex.gallery.dropdowns.basic.newFolder":"ಹೊಸ ಫೋಲ್ಡರ್","codex.gallery.dropdowns.basic.openSettings":"ಸೆಟಿಂಗ್‌ಗಳನ್ನು ತೆರೆಯಿರಿ","codex.gallery.dropdowns.basic.title":"ಚುರುಕಾದ ಆಕ್ಶನ್‌ಗಳು","codex.gallery.dropdowns.basic.trigger":"ಮೆನು ತೆರೆಯಿರಿ","codex.gallery.dropdowns.basic.upload":"ಅಪ್ಲೋಡ್","codex.gallery.dropdowns.panel":"ಪ್ಯಾನಲ್‌ ಹೊರಮೈ‌","codex.gallery.dropdowns.panel.apply":"ಅಪ್ಲೈ ಮಾಡಿ","codex.gallery.dropdowns.panel.body":"diff ಗಳನ್ನು ರಿವ್ಯೂ ಮಾಡಿ ಮತ್ತು ನಿಮ್ಮ ಪ್ರಾಜೆಕ್ಟ್‌ಗೆ ಹಚ್ಚಿ.","codex.gallery.dropdowns.panel.preview":"ಪ್ರಿವ್ಯೂ","codex.gallery.dropdowns.panel.title":"ಚೇಂಜಸ್ ಅಪ್ಲೈ ಮಾಡಿ","codex.gallery.dropdowns.panel.trigger":"ಪ್ಯಾನಲ್‌ ತೆರೆಯಿರಿ","codex.gallery.dropdowns.search":"ಹುಡುಕಬಲ್ಲ ಜಾರುಪಟ್ಟಿ","codex.gallery.dropdowns.search.first":"ಆಲ್ಫಾ ಚಾನಲ್","codex.gallery.dropdowns.search.second":"ಬೀಟಾ ಬ್ರಾಂಚ್","codex.gallery.dropdowns.search.third":"ಬಿಡುಗಡೆ ಹುರಿಯಾಳು","codex.gallery.dropdowns.search.trigger":"ಐಟಂಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ ","codex.gallery.dropdowns.submenu":"ಒಳಮೆನ್ಯು ಇರುವ ಜಾರುಪಟ್ಟಿ","codex.gallery.dropdowns.submenu.optionA":"ಪ್ರಾಜೆಕ್ಟ್ ಆಲ್ಫಾ","codex.gallery.dropdowns.submenu.optionB":"ಪ್ರಾಜೆಕ್ಟ್ ಬೀಟಾ","codex.gallery.dropdowns.submenu.optionC":"ಪ್ರಾಜೆಕ್ಟ್ ಗಾಮಾ","codex.gallery.dropdowns.submenu.primary":"ಮಾಲೀಕನನ್ನು ನಿಯೋಜಿಸಿ","codex.gallery.dropdowns.submenu.secondary":"  ಇಲ್ಲಿಗೆ ಸರಿಸಿ","codex.gallery.dropdowns.submenu.tertiary":"ಆರ್ಕೈವ್","codex.gallery.dropdowns.submenu.trigger":"ಕ್ರಿಯೆಯನ್ನು ಆಯ್ಕೆಮಾಡಿ","codex.gallery.dropdowns.title":"ಡ್ರಾಪ್‌ಡೌನ್‌ಗಳು","codex.gallery.inbox.automations.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.gallery.inbox.automations.popover.cardTitle":"ತನ್ನಡೆತಗಳನ್ನು ನಿರ್ವಹಿಸಿ","codex.gallery.inbox.automations.popover.dialogTitle":"ತನ್ನಡೆತಗಳನ್ನು ನಿರ್ವಹಿಸಿ","codex.header.settingsTooltip":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.hunk.patch.error":"ಏರ್ಪಡಿಸಲು ಆಗಲಿಲ್ಲ","codex.hunk.patch.missing":"ಈ ಹಂಕ್‌ಗೆ ಪ್ಯಾಚ್‌ ಕಟ್ಟಲು ಆಗುತ್ತಿಲ್ಲ.","codex.hunk.patch.partialSuccess":"ಅರೆ ಗೆಲುವು","codex.hunk.patch.revertError":"ಮೊದಲಿದ್ದಂತೆ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.hunk.patch.revertSuccess":"ಯಶಸ್ವಿಯಾಗಿ ಮೊದಲಿದ್ದಂತೆ ಮಾಡಲಾಗಿದೆ","codex.hunk.patch.success":"ಯಶಸ್ವಿಯಾಗಿ ಏರ್ಪಡಿಸಲಾಗಿದೆ","codex.legal.autonomy.details":"ಹೆಚ್ಚಿನ ವಿವರಗಳಿಗೆ, {link} ನೋಡಿ","codex.legal.autonomy.details.link":"ಕೋಡೆಕ್ಸ್‌ ಡಾಕ್ಯುಮೆಂಟ್‌ಗಳು","codex.legal.autonomy.title":"ಎಷ್ಟು ತನ್ನಾಳ್ವಿಕೆ ನೀಡಲು ಬಯಸುವಿರಿ ಎಂದು ತೀರ್ಮಾನಿಸಿ","codex.legal.backButton":"ಹಿಂದಕ್ಕೆ","codex.legal.cloud.taskOne.meta":"openai/agi · ಅಕ್ಟೋಬರ್‌ 12","codex.legal.cloud.taskOne.title":"ಹೊಸ ಡಿಸೈನರ್‌ಗೆ ರಿಪಾಸಿಟರಿ ವಿವರಿಸಿ","codex.legal.cloud.taskThree.meta":"openai/codex · ಅಕ್ಟೋಬರ್‌ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"ಕತ್ತಲೆಮೋಡ್‌ ಥೀಮ್ ಕ್ರಿಯೇಟ್ ಮಾಡಿ","codex.legal.cloud.taskTwo.meta":"openai/agi · ಅಕ್ಟೋಬರ್‌ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ಆನ್‌ಬೋರ್ಡಿಂಗ್ ತಪ್ಪು ಸರಿಪಡಿಸಿ","codex.legal.continue.apikey":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","codex.legal.continueButton":"ನೆಕ್ಸ್ಟ್","codex.legal.copilot.details":"ಎಲ್ಲಾ ಮಾಡೆಲ್‌ ಕರೆಗಳು, ಬಿಲ್ಲಿಂಗ್‌ ಮತ್ತು ರೇಟ್‌ ಲಿಮಿಟ್ ಗಳಿಗೆ ನಿಮ್ಮ ಕೋಪೈಲೆಟ್‌ ಪ್ಲಾನ್‌ ಬಳಸುತ್ತದೆ. ಕೋಡೆಕ್ಸ್‌ ಎಕ್ಸ್‌ಟೆನ್ಶನ್‌ ಬಳಕೆ {oaiTos} ಮತ್ತು {gitHubTos} ಎರಡಕ್ಕೂ ಒಳಪಟ್ಟಿರುತ್ತದೆ.","codex.legal.copilot.gitHubTosLink":"GitHub ಸೇವೆಯ ನಿಯಮಗಳು","codex.legal.copilot.oaiTosLink":"OpenAI ಕೋಡೆಕ್ಸ್‌ ಸೇವೆಯ ನಿಯಮಗಳು","codex.legal.copilot.title":"GitHub ಕೋಪೈಲೆಟ್‌ನಿಂದ ಬಲಪಡೆದ","codex.legal.mistakes.review":"ಅದು ಬರೆಯುವ ಕೋಡ್‌ ಮತ್ತು ಎಸಗುವ ಕಮಾಂಡ್‌ಗಳನ್ನು ರಿವ್ಯೂ ಮಾಡಿ","codex.legal.mistakes.title":"ಕೋಡೆಕ್ಸ್‌ ತಪ್ಪುಗಳನ್ನು ಮಾಡಬಹುದು","codex.legal.powered.details":"ನಿಮ್ಮ ಪ್ಲಾನ್‌ನ ರೇಟ್‌ ಲಿಮಿಟ್ಸ್ ಅನ್ನು ಬಳಸಿ ಮತ್ತು {link}","codex.legal.powered.details.link":"ಟ್ರೈನಿಂಗ್ ಡೇಟಾ ಒಲವುಗಳು","codex.legal.powered.title":"ನಿಮ್ಮ ChatGPT ಅಕೌಂಟ್ ನಿಂದ ಬಲ ಪಡೆದಿದೆ","codex.legal.step.cloud.subtitle":"ಬ್ಯಾಕ್ಗ್ರೌಂಡ್ ನಲ್ಲಿ ಎಸಗಲು ಟಾಸ್ಕ್ ಗಳನ್ನು ಕೋಡೆಕ್ಸ್‌ಗೆ ಕಳುಹಿಸಿ, ಇದರಿಂದ ನೀವು ಗಮನಹರಿಸಿ ಕೆಲಸಮಾಡಬಹುದು ಮತ್ತು ಬಿರುಸಾಗಿ ಸಾಗಬಹುದು.","codex.legal.step.cloud.title":"ಕ್ಲೌಡ್‌ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ಗೆ ಕೊಡಿ","codex.legal.step.intro.subtitle":"ಕೋಡೆಕ್ಸ್‌ ನಿಮ್ಮ ರೆಪೊದಲ್ಲಿ ಸಾಗುತ್ತದೆ, ತಿದ್ದುತ್ತದೆ, ಕಮಾಂಡ್‌ಗಳನ್ನು ನಡೆಸುತ್ತದೆ ಮತ್ತು ನೇರವಾಗಿ ಟೆಸ್ಟ್‌ಗಳನ್ನು ಎಸಗುತ್ತದೆ. ನಿಮ್ಮ ChatGPT ಅಕೌಂಟ್ ನ ಬಲದೊಂದಿಗೆ.","codex.legal.step.intro.title":"ನಿಮ್ಮ IDE ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌","codex.legal.step.todo.subtitle":"TODO ಕಾಮೆಂಟ್‌ ಬರೆಯಿರಿ ಹಾಗೂ ಒಂದೇ ಕ್ಲಿಕ್‌ನಲ್ಲಿ ಅದನ್ನು ಕೋಡೆಕ್ಸ್‌ ಟಾಸ್ಕ್ ಆಗಿ ಮಾರ್ಪಡಿಸಿ.","codex.legal.step.todo.title":"TODOಗಳನ್ನು ಕೋಡೆಕ್ಸ್ ಟಾಸ್ಕ್ ಗಳಾಗಿ ಮಾರ್ಪಡಿಸಿ","codex.legal.todo.heading":"// TODO: ಸ್ಕೀಮಾ ನೆರವೇರಿಸಿ","codex.localConversation.closeImagePreview":"ಚಿತ್ರ ಪೂರ್ವವೀಕ್ಷಣೆಯನ್ನು ಮುಚ್ಚಿರಿ","codex.localConversation.userImageAttachment":"ಯೂಸರ್ ಅಂಟಿಕೆ","codex.localTaskRow.archiveTask":"ಥ್ರೆಡ್‌ ಆರ್ಕೈವ್ ಮಾಡಿ","codex.localTaskRow.awaitingApproval":"ಅಪ್ರೂವಲ್ ಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ","codex.localTaskRow.awaitingResponse":"ಪ್ರತಿಕ್ರಿಯೆಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ","codex.localTaskRow.confirmArchiveTask":"ದೃಢೀಕರಿಸಿ","codex.loggedOut.apiKeyPrompt.cancel":"ರದ್ದುಮಾಡಿ","codex.loggedOut.apiKeyPrompt.confirm":"ಸರಿ","codex.loggedOut.apiKeyPrompt.getKey":"Api ಕೀ ಪಡೆಯಿರಿ","codex.loggedOut.apiKeyPrompt.inputLabel":"ನಿಮ್ಮ OpenAI API ಕೀ ಬರೆಯಿರಿ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API ಕೀ ನೊಂದಿಗೆ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಗಳನ್ನು ಡಿಸೇಬಲ್‌ ಮಾಡಲಾಗಿದೆ","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"ಕೋಪೈಲೆಟ್‌ ಮತ್ತು API ಕೀ ನೊಂದಿಗೆ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಗಳನ್ನು ಡಿಸೇಬಲ್‌ ಮಾಡಲಾಗಿದೆ","codex.loggedOut.signIn":"ChatGPT ಯೊಂದಿಗೆ ಸೈನ್ ಇನ್ ಮಾಡಿ","codex.loggedOut.signIn.cancel":"ಸೈನ್ ಇನ್ ರದ್ದುಮಾಡಿ","codex.loggedOut.signInWithCopilot":"GitHub ಕೋಪೈಲೆಟ್‌ನೊಂದಿಗೆ ಸೈನ್ ಇನ್ ಮಾಡಿ","codex.loggedOut.title":"ಕೋಡೆಕ್ಸ್‌","codex.loggedOut.useApiKey":"API ಕೀ ಬಳಸಿ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ಪರಿಕರ","codex.mcpTool.collapsedLabel.verb.called":"ಕರೆಯಲಾಗಿದೆ","codex.mcpTool.collapsedLabel.verb.calling":"ಕರೆಯಲಾಗುತ್ತಿದೆ","codex.mcpTool.embeddedResource.contentLabel":"ಕಂಟೆಂಟ್","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME ಬಗೆ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ಟೂಲ್‌ ಯಾವುದೇ ಕಾಂಟೆಂಟ್‌ ತೋರಿಸಲಿಲ್ಲ","codex.mcpTool.rawPayloadHeading":"ಕರಡು {server}.{tool} ಪರಿಕರ‌ ಕರೆ‌ ಪೇಲೋಡ್‌","codex.menu.recent":"ಇತ್ತೀಚಿನ","codex.menu.seeAllHistory":"ಎಲ್ಲಾ ಹಿಸ್ಟರಿ ನೋಡಿ","codex.modelCapacityBanner.headline.noReset":"{modelName} ನ ಅಳವು ಎಲ್ಲೆ ಮುಟ್ಟಿದೆ. ಆಮೇಲೆ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ, ಇಲ್ಲವೇ ಬೇರೊಂದು ಮಾಡೆಲ್‌ನೊಂದಿಗೆ ಹೊಸ ಮಾತುಕತೆ ಆರಂಭಿಸಿ.","codex.modelCapacityBanner.headline.withReset":"{modelName} ನ ಅಳವು ಎಲ್ಲೆ ಮುಟ್ಟಿದೆ. {resetDate} ಬಳಿಕ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ, ಇಲ್ಲವೇ ಬೇರೊಂದು ಮಾಡೆಲ್‌ನೊಂದಿಗೆ ಹೊಸ ಮಾತುಕತೆ ಆರಂಭಿಸಿ.","codex.modelCapacityBanner.title":"ಆರಿಸಿದ ಮಾಡೆಲ್‌ನ ಅಳವು ಎಲ್ಲೆ ಮುಟ್ಟಿದೆ","codex.patch.change.contentsDeleted":"ಕಾಂಟೆಂಟ್‌ಗಳನ್ನು ಡಿಲೀಟ್ ಮಾಡಲಾಗಿದೆ","codex.patch.change.created":"ಕ್ರಿಯೇಟ್ ಮಾಡಿದ್ದು","codex.patch.change.created-file":"ಫೈಲ್ ಹುಟ್ಟುಹಾಕಲಾಗಿದೆ","codex.patch.change.creating":"ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಗುತ್ತಿದೆ","codex.patch.change.deleted":"ಡಿಲೀಟ್ ಮಾಡಲಾಗಿದೆ","codex.patch.change.deleted-file":"ಫೈಲ್ ಅಳಿಸಲಾಗಿದೆ","codex.patch.change.deleting":"ಡಿಲೀಟ್ ಮಾಡಲಾಗುತ್ತಿದೆ","codex.patch.change.edited":"ಎಡಿಟ್ ಮಾಡಲಾಗಿದೆ","codex.patch.change.edited-file":"ಎಡಿಟ್ ಮಾಡಲಾದ ಫೈಲ್","codex.patch.change.editing":"ಎಡಿಟಿಂಗ್","codex.patch.change.noChanges":"ಯಾವುದೇ ಚೇಂಜಸ್ ಇಲ್ಲ","codex.patch.change.rejected-add":"ತಳ್ಳಿಹಾಕಲಾಗಿದೆ","codex.patch.change.rejected-delete":"ತಳ್ಳಿಹಾಕಲಾಗಿದೆ","codex.patch.change.rejected-edit":"ತಳ್ಳಿಹಾಕಲಾಗಿದೆ","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total} ರಲ್ಲಿ {completed} ಟಾಸ್ಕ್ ಗಳನ್ನು ಮುಗಿಸಲಾಗಿದೆ","codex.plan.todoListCreated":"{total} ಟಾಸ್ಕ್ ಗಳೊಂದಿಗೆ ಮಾಡಬೇಕಾದ ಕೆಲಸಗಳ ಪಟ್ಟಿ ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಗಿದೆ","codex.profileDropdown.apiKeyAuth":"API ಕೀ ನೊಂದಿಗೆ ಲಾಗಿನ್ ಮಾಡಲಾಗಿದೆ","codex.profileDropdown.codexSettings":"ಕೋಡೆಕ್ಸ್ ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.profileDropdown.copilotAuth":"ಕೋಪೈಲೆಟ್‌ನೊಂದಿಗೆ ಲಾಗಿನ್ ಮಾಡಲಾಗಿದೆ","codex.profileDropdown.defaultAccountTitle":"ಡಿಫಾಲ್ಟ್ ಅಕೌಂಟ್","codex.profileDropdown.enterBehavior":"ಉದ್ದವಾದ ಪ್ರಾಂಪ್ಟ್‌ಗಳನ್ನು ಕಳುಹಿಸಲು {modifierSymbol} + enter","codex.profileDropdown.enterBehaviorError":"ಸೆಟಿಂಗ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.getPlus":"ಹೆಚ್ಚಿಸಿದ ಎಲ್ಲೆಗಳಿಗಾಗಿ ಅಪ್‌ಗ್ರೇಡ್‌ ಮಾಡಿ","codex.profileDropdown.keyboardShortcuts":"ಕೀಬೋರ್ಡ್ ಶಾರ್ಟ್‌ಕಟ್‌ಗಳು","codex.profileDropdown.language":"ಭಾಷೆ","codex.profileDropdown.languageDefault":"ತನ್ನಡೆತದ ಕಂಡುಹಿಡಿತ","codex.profileDropdown.languageSearchPlaceholder":"ಭಾಷೆಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಿ","codex.profileDropdown.languageUpdateError":"ಭಾಷೆ ಅಪ್‌ಡೇಟ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.logOut":"ಲಾಗ್ ಔಟ್","codex.profileDropdown.mcp":"MCP ಸೆಟಿಂಗ್‌ಗಳು","codex.profileDropdown.openConfigToml":"config.toml ತೆರೆಯಿರಿ","codex.profileDropdown.openConfigToml.wsl":"WSL ಪರಿಸರದಲ್ಲಿ config.toml ತೆರೆಯಿರಿ","codex.profileDropdown.openExtensionSettings":"ಸೆಟಿಂಗ್‌ಗಳನ್ನು ತೆರೆಯಿರಿ","codex.profileDropdown.openMcpSettings":"MCP ಸೆಟಿಂಗ್‌ಗಳನ್ನು ತೆರೆಯಿರಿ","codex.profileDropdown.openOnStartup":"ತೊಡಗುವಾಗ ತೆರೆಯಿರಿ","codex.profileDropdown.openOnStartupError":"ಸೆಟಿಂಗ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.openSkillsSettings":"ಸ್ಕಿಲ್‌ಗಳ ಸೆಟಿಂಗ್‌ಗಳನ್ನು ತೆರೆಯಿರಿ","codex.profileDropdown.personalAccountTitle":"ಪರ್ಸನಲ್ ಅಕೌಂಟ್","codex.profileDropdown.queueFollowUps":"ಕ್ಯೂ ಫಾಲೋ-ಅಪ್‌ಗಳು","codex.profileDropdown.queueFollowUpsError":"ಸೆಟಿಂಗ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.readDocs":"ಡಾಕ್ಯುಮೆಂಟ್‌ಗಳನ್ನು ಓದಿ","codex.profileDropdown.readSkillsDocs":"ಡಾಕ್ಯುಮೆಂಟ್‌ಗಳನ್ನು ಓದಿ","codex.profileDropdown.runInWsl":"WSL ನಲ್ಲಿ ನಡೆಸಿ","codex.profileDropdown.runInWslError":"ಸೆಟಿಂಗ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.runInWslTooltip":"WSL ಒಳಗೆ ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ನಡೆಸುತ್ತದೆ. ಮೇಲೇರಿಸಿದ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಭದ್ರತೆ ಮತ್ತು ಒಳ್ಳೆಯ ಕಾರ್ಯಕ್ಷಮತೆಗಾಗಿ ಶಿಫಾರಸು ಮಾಡಲಾಗಿದೆ.","codex.profileDropdown.settings":"IDE ಸೆಟಿಂಗ್‌ಗಳು","codex.profileDropdown.settingsPage":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.profileDropdown.signInWithOpenAI":"ChatGPT ಯೊಂದಿಗೆ ಸೈನ್ ಇನ್ ಮಾಡಿ","codex.profileDropdown.skills":"ಸ್ಕಿಲ್‌ಗಳ ಸೆಟಿಂಗ್‌ಗಳು","codex.profileDropdown.switchToCopilotAccount":"ಕೋಪೈಲೆಟ್‌ ಅಕೌಂಟ್ ಬಳಸಿ","codex.profileDropdown.switchToOpenAIAccount":"OpenAI ಅಕೌಂಟ್ ಬಳಸಿ","codex.profileDropdown.todoCodelens":"TODO ಕಾಮೆಂಟ್‌ಗಳನ್ನು ಸರಿಪಡಿಸಿ","codex.profileDropdown.todoCodelensError":"ಸೆಟಿಂಗ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.windowsDocumentation":"ವಿಂಡೋಸ್ ಡಾಕ್ಯುಮೆಂಟೇಷನ್","codex.profileFooter.signedInFallback":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.profileFooter.upgrade":"ಅಪ್‌ಗ್ರೇಡ್‌ ಮಾಡಿ","codex.recentTasksMenu.clearSearch":"ಸರ್ಚ್ ತೆರವುಗೊಳಿಸಿ","codex.recentTasksMenu.cloud":"ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಗಳು","codex.recentTasksMenu.count":"{count, plural, =0 {ಮುನ್ನಡೆಯಲ್ಲಿ ಯಾವುದೇ ಟಾಸ್ಕ್‌ಗಳಿಲ್ಲ} one {# ಟಾಸ್ಕ್‌ ಮುನ್ನಡೆಯಲ್ಲಿದೆ} other {# ಟಾಸ್ಕ್‌ಗಳು ಮುನ್ನಡೆಯಲ್ಲಿವೆ}}","codex.recentTasksMenu.empty":"ಇನ್ನೂ ಯಾವುದೇ ಥ್ರೆಡ್‌ಗಳಿಲ್ಲ","codex.recentTasksMenu.errorCloud":"ಟಾಸ್ಕ್ ಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","codex.recentTasksMenu.errorCloud.inline":"ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","codex.recentTasksMenu.filterAll":"ಎಲ್ಲ","codex.recentTasksMenu.filterCloudTasks":"ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ","codex.recentTasksMenu.filterTooltip":"ಪರಿಸರದ ಮೂಲಕ ಕಾರ್ಯಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ","codex.recentTasksMenu.local":"ಸ್ಥಳೀಯ ಟಾಸ್ಕ್ ಗಳು","codex.recentTasksMenu.recent":"ಎಲ್ಲಾ ಟಾಸ್ಕ್ ಗಳು","codex.recentTasksMenu.search":"ಇತ್ತೀಚಿನ ಟಾಸ್ಕ್ ಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಿ","codex.recentTasksMenu.searchEmpty":"ಯಾವುದೇ ಫಲಿತಾಂಶವಿಲ್ಲ","codex.recentTasksMenu.tooltip":"ಟಾಸ್ಕ್ ಹಿಸ್ಟರಿ","codex.recentTasksMenu.trigger":"ಇತ್ತೀಚಿನ ಟಾಸ್ಕ್‌ಗಳು. {count, plural, one {# ಮುನ್ನಡೆಯಲ್ಲಿದೆ} other {# ಮುನ್ನಡೆಯಲ್ಲಿದೆ}}","codex.remoteConversation.applyDiff.applyCta":"ಚೇಂಜಸ್ ಅಪ್ಲೈ ಮಾಡಿ","codex.remoteConversation.applyDiff.dropdownTitle":"ಸ್ಥಳೀಯ ಕವಲಿಗೆ ಚೇಂಜಸ್ ಅಪ್ಲೈ ಮಾಡಿ","codex.remoteConversation.applyDiff.revertCta":"ಚೇಂಜಸ್ ರಿವರ್ಟ್ ಮಾಡಿ","codex.remoteConversation.closeImagePreview":"ಚಿತ್ರ ಪೂರ್ವವೀಕ್ಷಣೆಯನ್ನು ಮುಚ್ಚಿರಿ","codex.remoteConversation.codexCloudTask":"ನೀವು <u>ಕೋಡೆಕ್ಸ್‌ ಕ್ಲೌಡ್‌</u> ಟಾಸ್ಕ್ ನೋಡುತ್ತಿದ್ದೀರಿ","codex.remoteConversation.errorWithMessage":"ದೋಷ: {message}","codex.remoteConversation.loadingImage":"ಇಮೇಜ್ ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ","codex.remoteConversation.openInWeb":"ವೆಬ್‌‌ನಲ್ಲಿ ತೆರೆಯಿರಿ","codex.remoteConversation.streaming":"ಪ್ರಾರಂಭಿಸಲಾಗುತ್ತಿದೆ","codex.remoteConversation.turnFailed":"ಈ ಟಾಸ್ಕ್ ನಲ್ಲಿ ಏನೊ ತಪ್ಪಾಗಿದೆ","codex.remoteConversation.turnTab.loading":"{number} ಅನ್ನು ಪ್ರಯತ್ನಿಸಿ","codex.remoteConversation.turnTab.title":"{number} ಅನ್ನು ಪ್ರಯತ್ನಿಸಿ","codex.remoteConversation.userImageAttachment":"ಯೂಸರ್ ಅಂಟಿಕೆ","codex.remoteConversation.viewPreviousTurns":"ವೆಬ್‌‌ನಲ್ಲಿ ತೆರೆಯಿರಿ","codex.remoteConversation.viewPreviousTurns.buttonText":"ತೆರೆಯಿರಿ","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ವೆಬ್‌‌ನಲ್ಲಿ ತೆರೆಯಿರಿ","codex.review.copyGitApplyCommand":"git ಅಪ್ಲೈ ಕಮಾಂಡ್‌ ಕಾಪಿ ಮಾಡಿ","codex.review.copyGitApplyCommand.toast":"ಕ್ಲಿಪ್‌ಬೋರ್ಡ್‌ಗೆ git ಅಪ್ಲೈ ಕಮಾಂಡ್‌ ಅನ್ನು ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","codex.review.diffTooLarge.description":"ಈ ಬದಲಾವಣೆಯ ಪ್ರಮಾಣವನ್ನು ವಿಮರ್ಶೆಯಲ್ಲಿ ತೋರಿಸಲು ತುಂಬಾ ದೊಡ್ಡದಾಗಿದೆ.","codex.review.diffTooLarge.title":"Diff ತೋರಿಸಲು ಆಗದಷ್ಟು ದೊಡ್ಡದಿದೆ","codex.review.expandOrCollapseDiffButton.collapse":"ಎಲ್ಲ diffಗಳನ್ನು ಮಡಚಿ","codex.review.expandOrCollapseDiffButton.expand":"ಎಲ್ಲ diffಗಳನ್ನು ಹಿಗ್ಗಿಸಿ","codex.review.expandOrCollapseDiffMenu.collapse":"ಎಲ್ಲ diffಗಳನ್ನು ಮಡಚಿ","codex.review.expandOrCollapseDiffMenu.expand":"ಎಲ್ಲ diffಗಳನ್ನು ಹಿಗ್ಗಿಸಿ","codex.review.fileSearch.clear":"ಫೈಲ್ ಫಿಲ್ಟರ್‌ ತೆರವುಗೊಳಿಸಿ","codex.review.fileSearch.empty":"ಈ ಫಿಲ್ಟರ್‌ಗೆ ಹೊಂದುವ ಯಾವುದೇ ಫೈಲ್‌ಗಳಿಲ್ಲ","codex.review.fileSearch.label":"ಫೈಲ್‌ಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ","codex.review.fileSearch.placeholder":"ಫೈಲ್‌ಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ...","codex.review.filesChanged":"{num, plural, =0 {ಯಾವ ಫೈಲ್‌ಗಳನ್ನೂ ಚೇಂಜ್ ಮಾಡಿಲ್ಲ} one {# ಫೈಲ್ ಚೇಂಜ್ ಆಗಿದೆ} other {# ಫೈಲ್‌ಗಳು ಚೇಂಜ್ ಆಗಿವೆ}}","codex.review.find.loadMore":"ಇನ್ನಷ್ಟು ಹೊಂದಿಕೆಗಳನ್ನು ಲೋಡ್ ಮಾಡಿ","codex.review.fullReview.hideFileTree":"ಫೈಲ್‌ ಟ್ರೀ ಮರೆಮಾಚಿ","codex.review.fullReview.showFileTree":"ಫೈಲ್‌ ಟ್ರೀ ತೋರಿಸಿ","codex.review.header.moreOptions":"ರಿವ್ಯೂ ಆಯ್ಕೆಗಳು","codex.review.largeDiff.banner":"ದೊಡ್ಡ diff ಕಂಡುಬಂದಿದೆ — ಒಂದು ಹೊತ್ತಿಗೆ ಒಂದು ಫೈಲ್‌ ತೋರಿಸಲಾಗುತ್ತಿದೆ.","codex.review.loadFullFiles.disable":"ಸಂಪೂರ್ಣ ಫೈಲ್‌ಗಳನ್ನು ಲೋಡ್ ಮಾಡಬೇಡಿ","codex.review.loadFullFiles.enable":"ಸಂಪೂರ್ಣ ಫೈಲ್‌ಗಳನ್ನು ಲೋಡ್ ಮಾಡಿ","codex.review.noDiff":"ಫೈಲ್ ಮಾರ್ಪಾಡುಗಳು ಇಲ್ಲಿ ಮೂಡುತ್ತವೆ","codex.review.noDiff.gitInit.createRepository":"git ರಿಪಾಸಿಟರಿ ಹುಟ್ಟುಹಾಕಿ","codex.review.noDiff.gitInit.creating":"ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","codex.review.noDiff.gitInit.error":"ಗಿಟ್ ಪ್ರಾರಂಭ ವಿಫಲವಾಗಿದೆ: {message}","codex.review.noDiff.gitInit.success":"ಗಿಟ್ ರಿಪಾಸಿಟರಿ ರಚಿಸಲಾಗಿದೆ","codex.review.noDiff.gitRepoRequired.description":"ಈ ಪ್ರಾಜೆಕ್ಟ್‌ನಲ್ಲಿ ಮಾರ್ಪಾಡುಗಳ ಜಾಡುಹಿಡಿಯಿರಿ ಮತ್ತು ಅವುಗಳನ್ನು ಮೊದಲಿದ್ದಂತೆ ಮಾಡಿ","codex.review.noDiff.gitRepoRequired.title":"ಗಿಟ್ ರಿಪಾಸಿಟರಿಯನ್ನು ರಚಿಸಿರಿ","codex.review.noDiff.orNoLongerAvailable":"ಇಲ್ಲವೇ ಇತ್ತೀಚಿನ diff ದೊರೆಯುವುದಿಲ್ಲ","codex.review.noDiff.reverted":"ಹಿಂದಿನ ಟರ್ನ್‌ ಅನ್ನು ರಿವೆರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.noDiff.revertedOrCommitted":"ಹಿಂದಿನ ಟರ್ನ್‌ ಅನ್ನು ಒಂದೋ ರಿವೆರ್ಟ್ ಮಾಡಲಾಗಿದೆ ಇಲ್ಲವೇ ಕಮಿಟ್‌ ಮಾಡಲಾಗಿದೆ","codex.review.refreshGitQueries":"ರಿಫ್ರೆಶ್ ಮಾಡಿ","codex.review.revert.file.error":"{path} ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.file.partialSuccess":"{path} ಅನ್ನು ಸ್ವಲ್ಪವೇ ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.file.success":"{path} ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.hunk.error":"{path} ನಲ್ಲಿ ಹಂಕ್ {hunkNumber}‌ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.review.revert.hunk.partialSuccess":"{path} ನಲ್ಲಿ ಹಂಕ್ {hunkNumber}‌ ಅನ್ನು ಸ್ವಲ್ಪವೇ ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.hunk.success":"{path} ನಲ್ಲಿ ಹಂಕ್ {hunkNumber}‌ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.section.error":"ತುಣುಕನ್ನು ರಿವರ್ಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.review.revert.section.partialSuccess":"ತುಣುಕನ್ನು ಸ್ವಲ್ಪವೇ ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.section.success":"ತುಣುಕನ್ನು ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revertDialog.cancel":"ರದ್ದುಮಾಡಿ","codex.review.revertDialog.confirm":"ದೃಢೀಕರಿಸಿ","codex.review.revertDialog.message":"ಈ ಆಕ್ಶನ್‌ ಈ ಎಲ್ಲಾ ಚೇಂಜಸ್ ಅನ್ನು ರಿಮೂವ್ ಮಾಡುತ್ತದೆ.","codex.review.revertDialog.skip":"ಮತ್ತೆ ಕೇಳಬೇಡಿ","codex.review.revertDialog.title":"ಚೇಂಜಸ್ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಬೇಕೇ?","codex.review.richPreview.disable":"ರಿಚ್‌ ಪ್ರಿವ್ಯೂ ಡಿಸೇಬಲ್‌ ಮಾಡಿ","codex.review.richPreview.enable":"ರಿಚ್‌ ಪ್ರಿವ್ಯೂ ಎನೇಬಲ್‌ ಮಾಡಿ","codex.review.source.cloud":"ಕ್ಲೌಡ್‌ ಚೇಂಜಸ್","codex.review.source.local.all":"ಕವಲಿನ ಎಲ್ಲ ಚೇಂಜಸ್","codex.review.source.local.lastTurn":"ಇತ್ತೀಚಿನ ಟರ್ನ್‌ ಚೇಂಜಸ್","codex.review.source.local.uncommitted":"ಕಮಿಟ್‌ ಆಗದ ಚೇಂಜಸ್","codex.review.source.worktree":"ಕಮಿಟ್‌ ಆಗದ ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳು","codex.review.stageFilter.empty.staged.description":"ಅವುಗಳನ್ನು ಏರ್ಪಡಿಸಲು ತಿದ್ದುಪಡಿಗಳನ್ನು ಒಪ್ಪಿಕೊಳ್ಳಿ","codex.review.stageFilter.empty.staged.title":"ಏರ್ಪಡಿಸಿದ ಮಾರ್ಪಾಡುಗಳಿಲ್ಲ","codex.review.stageFilter.empty.unstaged.description":"ಕೋಡ್ ಮಾರ್ಪಾಡುಗಳು ಇಲ್ಲಿ ಮೂಡುತ್ತವೆ","codex.review.stageFilter.empty.unstaged.title":"ಏರ್ಪಡಿಸಿಲ್ಲದ ಮಾರ್ಪಾಡುಗಳಿಲ್ಲ","codex.review.stageFilter.staged":"ಏರ್ಪಡಿಸಿದ","codex.review.stageFilter.staged.count":"ಏರ್ಪಡಿಸಿದ · {count}","codex.review.stageFilter.unstaged":"ಏರ್ಪಡಿಸಿಲ್ಲದ","codex.review.stageFilter.unstaged.count":"ಏರ್ಪಡಿಸಿಲ್ಲದ · {count}","codex.review.switchToSplit":"ಸೀಳಿದ diff ಗೆ ಹೋಗಿ","codex.review.switchToUnified":"ಒಗ್ಗೂಡಿಸಿದ diff ಗೆ ಹೋಗಿ","codex.review.toggleDiffView":"diff ನೋಟ ಟಾಗಲ್ ಮಾಡಿ‌","codex.review.wordDiffs.disable":"ಪದಗಳ diff ಗಳನ್ನು ಡಿಸೇಬಲ್‌ ಮಾಡಿ","codex.review.wordDiffs.enable":"ಪದಗಳ diff ಗಳನ್ನು ಎನೇಬಲ್‌ ಮಾಡಿ","codex.review.wrap.disable":"ಪದ ಸುತ್ತಿಕೊಳ್ಳುವುದನ್ನು ಡಿಸೇಬಲ್‌ ಮಾಡಿ‌","codex.review.wrap.enable":"ಪದ ಸುತ್ತಿಕೊಳ್ಳುವುದನ್ನು ಎನೇಬಲ್‌ ಮಾಡಿ‌","codex.section.patch.missing":"ಈ ತುಣುಕಿಗೆ ಪ್ಯಾಚ್‌ ಕಟ್ಟಲು ಆಗುತ್ತಿಲ್ಲ.","codex.shell.collapse":"ಶೆಲ್‌ ಮಡಚಿ","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"ಶೆಲ್‌ ಕಾಂಟೆಂಟ್‌ಗಳನ್ನು ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","codex.shell.copy.copyTooltip":"ಶೆಲ್‌ ಕಾಂಟೆಂಟ್‌ಗಳನ್ನು ಕಾಪಿ ಮಾಡಿ","codex.shell.copyCommand":"ಕಮಾಂಡ್‌ ಕಾಪಿ ಮಾಡಿ","codex.shell.copyOutput":"ಔಟ್‌ಪುಟ್ ಕಾಪಿ ಮಾಡಿ‌","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"ಬ್ಯಾಶ್‌","codex.shell.expand":"ಶೆಲ್ ಹಿಗ್ಗಿಸಿ","codex.shell.name":"ಶೆಲ್","codex.shell.noOutput":"ಔಟ್‌ಪುಟ್ ಇಲ್ಲ","codex.signInFailed.message":"ಸೈನ್ ಇನ್ ಆಗಲಿಲ್ಲ: {rawMessage}","codex.stories.toast.show":"ಟೋಸ್ಟ್ ತೋರಿಸಿ","codex.stories.tooltip.basic":"ಇದೊಂದು ಟೂಲ್‌ಟಿಪ್‌","codex.stories.tooltip.hoverMe":"ನನ್ನ ಮೇಲೆ ಸುಳಿದಾಡಿ","codex.stories.tooltip.largerOffset":"ಈ ಟೂಲ್‌ಟಿಪ್‌ ದೊಡ್ಡ ಆಫ್‌ಸೆಟ್‌ ಹೊಂದಿದೆ","codex.stories.tooltip.offsetButton":"ದೊಡ್ಡ ಆಫ್‌ಸೆಟ್‌","codex.stories.tooltip.shortcutButton":"ಶಾರ್ಟ್‌ಕಟ್ ನೊಂದಿಗೆ","codex.stories.tooltip.withShortcut":"ಟರ್ಮಿನಲ್ ಟಾಗಲ್‌","codex.taskRow.title":"ಹೊಸ ಥ್ರೆಡ್‌","codex.taskRowLayout.confirm":"ದೃಢೀಕರಿಸಿ","codex.threadFindBar.chatFilter":"ಚಾಟ್‌ಗಳನ್ನು ಹುಡುಕಿ","codex.threadFindBar.close":"ಹುಡುಕಿ ಪಟ್ಟಿ ಮುಚ್ಚಿ","codex.threadFindBar.diffFilter":"ಡಿಫ್ ಗಳನ್ನು ಹುಡುಕಿ","codex.threadFindBar.label":"ಥ್ರೆಡ್‌ನಲ್ಲಿ ಕಂಡುಹಿಡಿಯಿರಿ","codex.threadFindBar.nextResult":"ಮುಂದಿನ ಫಲಿತಾಂಶ","codex.threadFindBar.noResults":"0 ಫಲಿತಾಂಶಗಳು","codex.threadFindBar.placeholder":"ಥ್ರೆಡ್‌ನಲ್ಲಿ ಹುಡುಕಿ…","codex.threadFindBar.placeholder.extension":"ಥ್ರೆಡ್‌ನಲ್ಲಿ ಹುಡುಕಿ…","codex.threadFindBar.placeholder.review":"diff ಹುಡುಕಿ...","codex.threadFindBar.placeholder.review.extension":"diff ಹುಡುಕಿ...","codex.threadFindBar.previousResult":"ಹಿಂದಿನ ಫಲಿತಾಂಶ","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# ಫೈಲ್ ಚೇಂಜ್ ಆಗಿದೆ} other {# ಫೈಲ್‌ಗಳು ಚೇಂಜ್ ಆಗಿವೆ}}","codex.unifiedDiff.inlineLargeFile":"ಇನ್‌ಲೈನ್‌ನಲ್ಲಿ ರೆಂಡರ್‌ ಮಾಡಲು ಆಗದಷ್ಟು ದೊಡ್ಡದಿದೆ","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"ಮಾಡಿದ್ದನ್ನು ಹಿಂಪಡೆಯಿರಿ","codex.unifiedDiff.revertPatchError":"ಚೇಂಜಸ್ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.unifiedDiff.revertPatchSuccess":"ಚೇಂಜಸ್ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲಾಯಿತು","codex.unifiedDiff.reviewChangesSuffix":"ಚೇಂಜಸ್","codex.unifiedDiff.reviewShort":"ರಿವ್ಯೂ","codex.unifiedDiff.viewDiffTooltip":"ರಿವ್ಯೂ","codex.upsellBanner.business.headline":"ಈಗ ಹೆಚ್ಚಿನ ಬಳಸುಹಕ್ಕು ಪಡೆಯಲು, ನಿಮ್ಮ ಅಡ್ಮಿನ್‌ಗೆ ಕೋರಿಕೆ ಕಳುಹಿಸಿ ಇಲ್ಲವೇ {resetDate} ರವರೆಗೆ ಕಾಯಿರಿ.","codex.upsellBanner.cbp.headline":"ಈಗ ಹೆಚ್ಚಿನ ಆಕ್ಸೆಸ್ ಅನ್ನು ಪಡೆಯಲು, ನಿಮ್ಮ ಅಡ್ಮಿನ್‌ಗೆ ವಿನಂತಿಯನ್ನು ಕಳುಹಿಸಿ.","codex.upsellBanner.cta.addCredits":"ಕ್ರೆಡಿಟ್‌ಗಳನ್ನು ಸೇರಿಸಿ","codex.upsellBanner.cta.upgradeAccount":"ಅಪ್‌ಗ್ರೇಡ್‌ ಮಾಡಿ","codex.upsellBanner.cta.viewUsage":"ಬಳಕೆಯನ್ನು ವೀಕ್ಷಿಸಿ","codex.upsellBanner.free.trialHeadline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ. ಕೋಡೆಕ್ಸ್‌ ಬಳಸುವುದನ್ನು ಮುಂದುವರಿಸಲು ಮತ್ತು GPT-5.3-ಕೋಡೆಕ್ಸ್‌ಗೆ ಬಳಸುಹಕ್ಕು ಪಡೆಯಲು, ಇಂದೇ Plus ನ ನಿಮ್ಮ ಉಚಿತ ಟ್ರಯಲ್‌ ಆರಂಭಿಸಿ.","codex.upsellBanner.freeOrGo.headline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ. ಕೋಡೆಕ್ಸ್ ಬಳಸುವುದನ್ನು ಮುಂದುವರಿಸಲು, ಇಂದೇ Plus‌ಗೆ ಅಪ್‌ಗ್ರೇಡ್ ಮಾಡಿ.","codex.upsellBanner.general.headline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ.","codex.upsellBanner.general.title":"ನಿಮ್ಮ ಕೋಡೆಕ್ಸ್‌ ಸಂದೇಶಗಳು ಮುಗಿದಿವೆ","codex.upsellBanner.go.trialHeadline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ. ಕೋಡೆಕ್ಸ್‌ ಬಳಸುವುದನ್ನು ಮುಂದುವರಿಸಲು, ಇಂದೇ Plus ನ ನಿಮ್ಮ ಉಚಿತ ಟ್ರಯಲ್‌ ಆರಂಭಿಸಿ.","codex.upsellBanner.plus.headline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ. ಕೋಡೆಕ್ಸ್‌ ಬಳಸುವುದನ್ನು ಮುಂದುವರಿಸಲು, ಕ್ರೆಡಿಟ್‌ಗಳನ್ನು ಸೇರಿಸಿ ಇಲ್ಲವೇ ಇಂದೇ Pro ಗೆ ಅಪ್‌ಗ್ರೇಡ್‌ ಮಾಡಿ.","codex.upsellBanner.pro.headline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ. ಕೋಡೆಕ್ಸ್ ಬಳಕೆಯನ್ನು ಮುಂದುವರಿಸಲು ಕ್ರೆಡಿಟ್‌ಗಳನ್ನು ಸೇರಿಸಿ.","codex.userMessage.autoResolveSync":"ತಿಕ್ಕಾಟಗಳನ್ನು ತನ್ನಡೆತದಿಂದ ಬಗೆಹರಿಸಿ","codex.userMessage.commentCount":"{count, plural, one {# ಕಾಮೆಂಟ್} other {# ಕಾಮೆಂಟ್‌ಗಳು}}","codex.userMessage.copiedAriaLabel":"ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","codex.userMessage.copiedTooltip":"ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","codex.userMessage.copyAriaLabel":"ಸಂದೇಶವನ್ನು ನಕಲಿಸಿ","codex.userMessage.copyTooltip":"ಕಾಪಿ ಮಾಡಿ","codex.userMessage.implementPlan":"ಯೋಜನೆಯನ್ನು ಜಾರಿಗೆ ತನ್ನಿ","codex.userMessage.noContent":"(ಕಾಂಟೆಂಟ್ ಇಲ್ಲ)","codex.userMessage.priorConversation":"ಹಿಂದಿನ ಕಾನ್ವರ್ಸೆಷನ್ ಅನ್ನು ಹೆಸರಿಸುತ್ತದೆ","codex.userMessage.reviewMode":"ರಿವ್ಯೂ ಮೋಡ್‌","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} ಕ್ಕಾಗಿ","codex.webSearch.summary.verb.completed":"ವೆಬ್‌ನಲ್ಲಿ ಹುಡುಕಲಾಗಿದೆ","codex.webSearch.summary.verb.inProgress":"ವೆಬ್‌ನಲ್ಲಿ ಹುಡುಕಲಾಗುತ್ತಿದೆ","codex.windowsInstallWslBanner.dismiss":"ತಳ್ಳಿಹಾಕಿ","codex.windowsInstallWslBanner.installWslCta":"ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್ ಎನೇಬಲ್‌ ಮಾಡಿ","codex.windowsInstallWslBanner.learnMore":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","codex.windowsSandboxBanner.content":"ಫೈಲ್‌ಸಿಸ್ಟಮ್‌ ಮತ್ತು ನೆಟ್‌ವರ್ಕ್‌ ಅಕ್ಸೆಸ್ ಅನ್ನು ಕಡಿಮೆಮಾಡಲು, ವಿಂಡೋಸ್‌ನಲ್ಲಿ ಏಜೆಂಟ್‌ ಮೋಡ್‌ ಒರೆತದ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಬಳಸುತ್ತದೆ. {sandboxLink}","codex.windowsSandboxBanner.title":"ಏಜೆಂಟ್‌ ಮೋಡ್‌ಗಾಗಿ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಎನೇಬಲ್‌ ಮಾಡಿ","codex.windowsSubDropdown.windowsSandbox":"ವಿಂಡೋಸ್ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್","codex.windowsSubDropdown.windowsSettings":"ವಿಂಡೋಸ್ ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codexUpgradeModal.body":"ನಮ್ಮ ಇತ್ತೀಚಿನ ಮುಂಚೂಣಿಯ ಏಜೆಂಟ್‌ ಮಾಡುವ ಕೋಡಿಂಗ್‌ ಮಾಡೆಲ್‌ — ಸಾಮಾನ್ಯ ತಾಂತ್ರಿಕ ಕೆಲಸಕ್ಕೆ ಚುರುಕಾಗಿದೆ, ಬಿರುಸಾಗಿದೆ ಮತ್ತು ಇನ್ನಷ್ಟು ಶಕ್ತಿಶಾಲಿಯಾಗಿದೆ. {link}","codexUpgradeModal.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codexUpgradeModal.image.altText":"GPT-5.3-ಕೋಡೆಕ್ಸ್‌","codexUpgradeModal.smarterAndFaster":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","codexUpgradeModal.title":"GPT-5.3-ಕೋಡೆಕ್ಸ್‌ ಪರಿಚಯಿಸುತ್ತಿದ್ದೇವೆ","codexUpgradeModal.tryNewModel":"GPT-5.3-ಕೋಡೆಕ್ಸ್‌ ಬಳಸಿ ನೋಡಿ","codexUpgradeModal.useExistingModel":"ಈಗಿನ ಮಾಡೆಲ್‌ನೊಂದಿಗೆ ಕಂಟಿನ್ಯೂ ಮಾಡಿ","commentAttachments.numComments":"{count, plural, one {# ಕಾಮೆಂಟ್} other {# ಕಾಮೆಂಟ್‌ಗಳು}}","commentAttachments.removeAriaLabel":"ಕಾಮೆಂಟ್ ಗಳ ಅಟ್ಯಾಚ್‌ಮೆಂಟ್ ರಿಮೂವ್ ಮಾಡಿ","common.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","composer.addContext.openFilePickerError":"ಫೈಲ್‌ ಆರಿಸುವ ಕಿಂಡಿ ತೆರೆಯಲು ಆಗುತ್ತಿಲ್ಲ","composer.addContextDropdown.ariaLabel":"ಫೈಲ್‌ಗಳು ಮತ್ತು ಹೆಚ್ಚಿನವುಗಳನ್ನು ಸೇರಿಸಿ","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ಫೈಲ್‌ಗಳು ಮತ್ತು ಹೆಚ್ಚಿನವುಗಳನ್ನು ಸೇರಿಸಿ","composer.addPhotosAndFiles":"ಫೋಟೊ ಮತ್ತು ಫೈಲ್‌ಗಳನ್ನು ಸೇರಿಸಿ","composer.atMentionList.emptyQuery":"ಫೈಲ್‌ಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಲು ಟೈಪ್‌ ಮಾಡಿ","composer.atMentionList.loading":"ಫೈಲ್‌ಗಳನ್ನು ಹುಡುಕಲಾಗುತ್ತಿದೆ...","composer.atMentionList.noResults":"ಯಾವುದೇ ಫಲಿತಾಂಶಗಳಿಲ್ಲ","composer.attemptsSelector.option":"{count, plural, one {# ಆವೃತ್ತಿ} other {# ಆವೃತ್ತಿಗಳು}}","composer.attemptsSelector.tooltip":"ಕೋಡೆಕ್ಸ್‌ ಮಾಡಬೇಕಾದ ಹೋಲುವ ಪ್ರಯತ್ನಗಳ ಎಣಿಕೆ","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"{count, plural, one {# ಟರ್ಮಿನಲ್} other {# ಟರ್ಮಿನಲ್‌ಗಳು}} ನಡೆಸಲಾಗುತ್ತಿದೆ","composer.backgroundTerminals.stop":"ನಿಲ್ಲಿಸಿ","composer.cleanBackgroundTerminals.error":"ಹಿನ್ನೆಲೆ ಟರ್ಮಿನಲ್‌ಗಳನ್ನು ನಿಲ್ಲಿಸಲು ಆಗುತ್ತಿಲ್ಲ.","composer.cloudFollowUp.cloud":"ಕ್ಲೌಡ್‌","composer.cloudFollowUp.local":"ಸ್ಥಳೀಯ","composer.cloudFollowUp.whereRun":"ಈ ಮುಂದುವರಿಕೆ ಎಲ್ಲಿ ನಡೆಯಬೇಕು?","composer.cloudTaskCreationError":"ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಕ್ರಿಯೇಟ್ ಮಾಡುವಾಗ ತಪ್ಪಾಗಿದೆ","composer.cloudTaskError":"ಟಾಸ್ಕ್ ಕ್ರಿಯೇಟ್ ಮಾಡುವಾಗ ತಪ್ಪಾಗಿದೆ","composer.contextWindow.autoCompactionTooltipLine1":"ಕೋಡೆಕ್ಸ್‌ ತನ್ನ ನೆಲೆಯನ್ನು ತಾನಾಗಿಯೇ ಅಡಕಮಾಡುತ್ತದೆ","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"ಕಾಂಟೆಕ್ಸ್ಟ್ ಕಿಂಡಿ:","composer.contextWindowUsageStatusFull":"{usage}% ತುಂಬಿದೆ","composer.contextWindowUsageStatusLeft":"{usage}% ಬಳಕೆಯಾಗಿದೆ ({remaining}% ಉಳಿದಿದೆ)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k ಟೋಕನ್‌ಗಳನ್ನು ಬಳಸಲಾಗಿದೆ","composer.customCliTooltip":"ಕಸ್ಟಮ್‌ CLI ಎಸಗಬಲ್ಲವು ಬಳಸಲಾಗುತ್ತಿದೆ","composer.dictation.aria":"ಡಿಕ್ಟೇಟ್ ","composer.dictation.cancel.aria":"ಡಿಕ್ಟೇಷನ್ ನಿಲ್ಲಿಸಿ","composer.dictation.cancel.tooltip":"ಡಿಕ್ಟೇಷನ್ ನಿಲ್ಲಿಸಿ","composer.dictation.startError":"ಬರೆಸುವಿಕೆ ಆರಂಭಿಸಲು ಆಗಲಿಲ್ಲ","composer.dictation.submit.aria":"ಉಲಿಬರಹ ಮಾಡಿ ಮತ್ತು ಕಳುಹಿಸಿ","composer.dictation.submit.tooltip":"ಉಲಿಬರಹ ಮಾಡಿ ಮತ್ತು ಕಳುಹಿಸಿ","composer.dictation.tooltip":"ಡಿಕ್ಟೇಟ್ ಮಾಡಲು ಹೋಲ್ಡ್ ಮಾಡಿ","composer.dictation.transcribeError":"ಆಡಿಯೊದ ಉಲಿಬರಹ ಮಾಡಲು ಆಗಲಿಲ್ಲ","composer.dictation.unsupported":"ಈ ಡಿವೈಸ್‌ನಲ್ಲಿ ಬರೆಸುವಿಕೆ ದೊರೆಯುತ್ತಿಲ್ಲ","composer.dropOverlay.holdShift":"ಎಳೆದುತಂದು ಹಾಕಲು {key} ಹಿಡಿದುಕೊಳ್ಳಿ","composer.dropOverlay.shiftKey":"ಶಿಫ್ಟ್","composer.environmentSelector.createNew":"ಹೊಸತನ್ನು ಹುಟ್ಟುಹಾಕಿ","composer.environmentSelector.error":"ಪರಿಸರಗಳನ್ನು ಲೋಡ್ ಮಾಡುವಲ್ಲಿ ತಪ್ಪಾಗಿದೆ","composer.environmentSelector.goBack":"ಕಂಪೋಸರ್‌ಗೆ ಹಿಂದಿರುಗಿ","composer.environmentSelector.title":"ಪರಿಸರ ಆರಿಸಿ","composer.environmentSelector.tooltip":"ಕ್ಲೌಡ್‌ ಪರಿಸರ ಆರಿಸಿ","composer.feedbackSlashCommand.title":"ಫೀಡ್ಬ್ಯಾಕ್","composer.filePicker.selectFile":"ಫೈಲ್ ಆರಿಸಿ","composer.filePicker.selectFiles":"ಫೈಲ್‌ಗಳನ್ನು ಆರಿಸಿ","composer.followerTooltip":"ಮುಂದುವರಿಸಲು, ಈ ಮಾತುಕತೆ ಆರಂಭವಾದ ಕಿಂಡಿಗೆ ಮರಳಿ.","composer.footer.branchSwitch.checkoutError":"ಕವಲು ಮಾರ್ಪಡಿಸಲು ಆಗಲಿಲ್ಲ: {message}","composer.footer.branchSwitch.createAndCheckout":"ಹೊಸ ಕವಲು ಹುಟ್ಟುಹಾಕಿ ಮತ್ತು ಚೆಕ್‌ಔಟ್‌ ಮಾಡಿ...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"ಹೊಸ ಕವಲು ಹುಟ್ಟುಹಾಕಿ ಚೆಕ್‌ಔಟ್‌ ಮಾಡಲು ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಿ","composer.footer.branchSwitch.createBranchError":"ಕವಲು ಹುಟ್ಟುಹಾಕಲು ಆಗಲಿಲ್ಲ: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ಬ್ರಾಂಚ್ ಹೆಸರು","composer.footer.branchSwitch.createDialog.branchExistsError":"ಕವಲು ಈಗಾಗಲೇ ಇದೆ.","composer.footer.branchSwitch.createDialog.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","composer.footer.branchSwitch.createDialog.createAndCheckout":"ಹುಟ್ಟುಹಾಕಿ ಮತ್ತು ಚೆಕ್‌ಔಟ್‌ ಮಾಡಿ","composer.footer.branchSwitch.createDialog.placeholder":"ಹೊಸ ಕವಲು","composer.footer.branchSwitch.createDialog.title":"ಕವಲು ಹುಟ್ಟುಹಾಕಿ ಮತ್ತು ಚೆಕ್‌ಔಟ್‌ ಮಾಡಿ","composer.footer.branchSwitch.createDialog.trailingSlashError":"ಕವಲಿನ ಹೆಸರು “/” ನೊಂದಿಗೆ ಕೊನೆಯಾಗುವಂತಿಲ್ಲ.","composer.footer.branchSwitch.tooltip":"ಕವಲು ಮಾರ್ಪಡಿಸಿ","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} ಅನ್ನು ಪರಿಶೀಲಿಸಲು {fileCount, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}} ರಲ್ಲಿ ಬದಲಾವಣೆಗಳನ್ನು ಮಾಡಿ.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"ಕಮಿಟ್ ಮಾಡಿ","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} ಅನ್ನು ಪರಿಶೀಲಿಸಲು {fileCount, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}} ರಲ್ಲಿ ಬದಲಾವಣೆಗಳು.","composer.footer.branchSwitch.uncommittedDialog.cancel":"ರದ್ದುಮಾಡಿ","composer.footer.branchSwitch.uncommittedDialog.commit":"ಶಾಖೆಯನ್ನು ಒಪ್ಪಿಸಿ ಮತ್ತು ಬದಲಾಯಿಸಿ...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"ಈ ಕೆಳಗಿನ ಫೈಲ್‌ಗಳಿಗೆ ನೀವು ಮಾಡಿದ ಬದಲಾವಣೆಗಳನ್ನು ಚೆಕ್‌ಔಟ್‌ನಿಂದ ತಿದ್ದಿ ಬರೆಯಲಾಗುತ್ತದೆ:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"ಮುಂದುವರಿಯಲು ದಯವಿಟ್ಟು ನಿಮ್ಮ ಬದಲಾವಣೆಗಳನ್ನು ಮಾಡಿ.","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ಆಯ್ಕೆ ಮಾಡಿದ ಶಾಖೆ","composer.footer.branchSwitch.uncommittedDialog.title":"ಶಾಖೆಯನ್ನು ಬದಲಾಯಿಸಲು ಬದಲಾವಣೆಗಳನ್ನು ಮಾಡಿ","composer.footer.branchSwitch.uncommittedSummaryPrefix":"ಕಮಿಟ್‌ ಆಗದ: {fileCount, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}}","composer.forkSlashCommand.description":"ಈ ಥ್ರೆಡ್ ಅನ್ನು ಸ್ಥಳೀಯವಾಗಿ ಅಥವಾ ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಗೆ ವಿಭಜನೆ ಮಾಡಿ.","composer.forkSlashCommand.option.local.description":"ಹೊಸ ಸ್ಥಳೀಯ ಥ್ರೆಡ್‌ನಲ್ಲಿ ಮುಂದುವರಿಯಿರಿ","composer.forkSlashCommand.option.local.title":"ಸ್ಥಳೀಯಕ್ಕೆ ವಿಭಜನೆ ಮಾಡಿ","composer.forkSlashCommand.option.worktree.description":"ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಯಲ್ಲಿ ಮುಂದುವರಿಯಿರಿ","composer.forkSlashCommand.option.worktree.title":"ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಗೆ ವಿಭಜನೆ ಮಾಡಿ.","composer.forkSlashCommand.title":"ಫೋರ್ಕ್","composer.ideContextIndicator":"IDE ನೆಲೆ","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"{br} ಆಯ್ಕೆ ಸ್ಥಿತಿಯಂತಹ IDE ನಿಂದ ನೆಲೆಯನ್ನು ಸೇರಿಸಿಕೊಳ್ಳಿ ಮತ್ತು ಫೈಲ್‌ಗಳನ್ನು ತೆರೆಯಿರಿ.","composer.ideContextIndicator.tooltipToggle":"ಟಾಗಲ್ ಮಾಡಲು","composer.ideContextSlashCommand.disableDescription":"IDE ನೆಲೆ ಆಫ್‌ ಮಾಡಿ","composer.ideContextSlashCommand.enableDescription":"ನಿಮ್ಮ IDE ನಿಂದ ಈಗಿನ ಆಯ್ಕೆಯನ್ನು ಸೇರಿಸಿ, ಫೈಲ್‌ಗಳು ಮತ್ತು ಬೇರೆ ನೆಲೆಯನ್ನು ತೆರೆಯಿರಿ","composer.ideContextSlashCommand.title":"IDE ನೆಲೆ","composer.imageInputsUnsupported":"ಈ ಮಾಡೆಲ್‌ ಇಮೇಜ್‌ ಇನ್‌ಪುಟ್‌ಗಳನ್ನು ಬೆಂಬಲಿಸುವುದಿಲ್ಲ. ಬೇರೆ ಮಾಡೆಲ್‌ ಬಳಸಿ ನೋಡಿ.","composer.imageUploadFailed":"ಇಮೇಜ್ ಅಪ್ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","composer.includeIdeContextDropdown":"IDE ಕಾಂಟೆಕ್ಸ್ಟ್ ಅನ್ನು ಸೇರಿಸಿ","composer.includeIdeContextDropdown.ariaLabel":"IDE ಕಾಂಟೆಕ್ಸ್ಟ್ ಅನ್ನು ಸೇರಿಸಿ","composer.localCwdDropdown.addWorkspaceRoot":"ಹೊಸ ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","composer.localCwdDropdown.noActiveRoot":"ನಿಮ್ಮ ಪ್ರಾಜೆಕ್ಟ್ ಆರಿಸಿ","composer.localCwdDropdown.noResults":"ಪೋಲ್ಡರ್‌ಗಳು ಕಂಡುಬರಲಿಲ್ಲ","composer.localCwdDropdown.title":"ನಿಮ್ಮ ಪ್ರಾಜೆಕ್ಟ್ ಆರಿಸಿ","composer.localTaskError":"ಕಾನ್ವರ್ಸೆಷನ್ ಆರಂಭಿಸುವಾಗ ತಪ್ಪಾಗಿದೆ","composer.mcpSlashCommand.description":"MCP ಸರ್ವರ್‌ ಸ್ಥಿತಿಯನ್ನು ತೋರಿಸಿ","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ದೃಢೀಕರಿಸಿಲ್ಲ","composer.mcpStatus.authOauth":"ದೃಢೀಕರಿಸಲಾಗಿದೆ (OAuth)","composer.mcpStatus.authToken":"ದೃಢೀಕರಿಸಲಾಗಿದೆ (API ಕೀ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","composer.mcpStatus.disabled":"ಡಿಸೇಬಲ್ ಮಾಡಲಾಗಿದೆ","composer.mcpStatus.emptyLabel":"ಸರ್ವರ್‌ಗಳು:","composer.mcpStatus.emptyValue":"ಅಟ್ಟಣಿಸಿದ MCP ಸರ್ವರ್‌ಗಳಿಲ್ಲ","composer.mcpStatus.enabled":"ಎನೇಬಲ್ ಮಾಡಲಾಗಿದೆ","composer.mcpStatus.errorLabel":"ಸ್ಥಿತಿ:","composer.mcpStatus.errorValue":"MCP ಸ್ಥಿತಿ ಲೋಡ್ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ಏಜೆಂಟ್","composer.mode.agentMode.auto.dropdownLabel":"ಏಜೆಂಟ್","composer.mode.agentMode.auto.optionLabel":"ಏಜೆಂಟ್","composer.mode.agentMode.changePermission":"ಮೋಡ್‌ ಮಾರ್ಪಡಿಸಿ","composer.mode.agentMode.custom":"ಕಸ್ಟಮ್","composer.mode.agentMode.custom.dropdownLabel":"ಕಸ್ಟಮ್","composer.mode.agentMode.custom.option":"ಕಸ್ಟಮ್ (config.toml)","composer.mode.agentMode.custom.optionLabel":"ಕಸ್ಟಮ್ (config.toml)","composer.mode.agentMode.customInfo.cancel":"ರದ್ದುಮಾಡಿ","composer.mode.agentMode.customInfo.cli":"ನೀವು ಆ ಸೆಟಿಂಗ್‌ಗಳನ್ನು CLI ನಿಂದ ಇಲ್ಲವೇ ನೇರವಾಗಿ ಫೈಲ್‌ ತಿದ್ದುವ ಮೂಲಕ ಸರಿದೂಗಿಸಬಹುದು.","composer.mode.agentMode.customInfo.confirm":"ಕಸ್ಟಮ್ ಮೋಡ್‌ ಬಳಸಿ","composer.mode.agentMode.customInfo.description":"ಕಸ್ಟಮ್ ಮೋಡ್ ನಿಮ್ಮ config.toml ಫೈಲ್‌ನಲ್ಲಿ ವ್ಯಾಖ್ಯಾನಿಸಲಾದ ಅನುಮೋದನೆ ಮತ್ತು<link>ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್ ನೀತಿಗಳನ್ನು</link>ಅನ್ವಯಿಸುತ್ತದೆ.","composer.mode.agentMode.customInfo.docs":"ಕಾರ್ಯಗತಗೊಳಿಸುವ ಪರಿಸರ ದಾಖಲೆಗಳಲ್ಲಿ ಅಪ್ರೂವಲ್ ಮತ್ತು<link>ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್ ನೀತಿಗಳನ್ನು ಕಾನ್ಫಿಗರ್ ಮಾಡುವ ಬಗ್ಗೆ ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ.</link>.","composer.mode.agentMode.customInfo.refresh":"ಯಾವುದೇ ಚೇಂಜಸ್, ನೆಕ್ಸ್ಟ್ ಸಲ ಏಜೆಂಟ್‌ ನಡೆಯುವಾಗ ಸಲ್ಲುತ್ತವೆ.","composer.mode.agentMode.customInfo.title":"ಕಸ್ಟಮ್ ಮೋಡ್ ಹೇಗೆ ಕೆಲಸ ಮಾಡುತ್ತದೆ","composer.mode.agentMode.fullAccess":"ಏಜೆಂಟ್ (ಪೂರ್ತಿ ಅಕ್ಸೆಸ್)","composer.mode.agentMode.fullAccess.dropdownLabel":"ಏಜೆಂಟ್ (ಪೂರ್ತಿ ಅಕ್ಸೆಸ್)","composer.mode.agentMode.fullAccess.optionLabel":"ಏಜೆಂಟ್ (ಪೂರ್ತಿ ಅಕ್ಸೆಸ್)","composer.mode.agentMode.fullAccessConfirm.caution":"ಪೂರ್ತಿ ಅಕ್ಸೆಸ್ ಎನೇಬಲ್ ಮಾಡುವಾಗ ಎಚ್ಚರಿಕೆಯಿಂದಿರಿ. ಇದು ಡೇಟಾ ಕಳೆತ, ಸೋರಿಕೆಗಳು ಇಲ್ಲವೇ ಎದುರುನೋಡದ ನಡವಳಿಕೆಯ ಅಪಾಯವನ್ನು ತುಂಬ ಹೆಚ್ಚಿಸುತ್ತದೆ.","composer.mode.agentMode.fullAccessConfirm.confirm":"ಹೌದು, ಕಂಟಿನ್ಯೂ ಮಾಡಿ","composer.mode.agentMode.fullAccessConfirm.description":"ಕೋಡೆಕ್ಸ್‌ ಪೂರ್ತಿ ಅಕ್ಸೆಸ್ ನೊಂದಿಗೆ ನಡೆಯುವಾಗ, ನಿಮ್ಮ ಅಪ್ರೂವಲ್ ಇಲಲ್ದೆ, ಅದು ನಿಮ್ಮ ಕಂಪ್ಯೂಟರ್‌ನಲ್ಲಿ ಯಾವುದೇ ಫೈಲ್‌ ಅನ್ನು ತಿದ್ದಬಹುದು ಮತ್ತು ನೆಟ್‌ವರ್ಕ್‌ನಲ್ಲಿ ಕಮಾಂಡ್‌ಗಳನ್ನು ನಡೆಸಬಹುದು.","composer.mode.agentMode.fullAccessConfirm.goBack":"ರದ್ದುಮಾಡಿ","composer.mode.agentMode.fullAccessConfirm.title":"ಪೂರ್ತಿ ಅಕ್ಸೆಸ್ ಎನೇಬಲ್ ಮಾಡಬೇಕೇ?","composer.mode.agentMode.readOnly":"ಚಾಟ್","composer.mode.agentMode.readOnly.dropdownLabel":"ಚಾಟ್","composer.mode.agentMode.readOnly.optionLabel":"ಚಾಟ್","composer.mode.agentMode.tooltip":"ಮೋಡ್‌ ಮಾರ್ಪಡಿಸಿ","composer.mode.agentMode.tooltip.auto":"ಫೈಲ್‌ಗಳನ್ನು ಓದುವುದು ಮತ್ತು ತಿದ್ದುವುದು, ಹಾಗೂ ಕಮಾಂಡ್‌ಗಳನ್ನು ನಡೆಸುವುದು.","composer.mode.agentMode.tooltip.custom":"config.toml ನಲ್ಲಿ ಹುರುಳಿಸಿರುವ ಇತ್ತೀಚಿನ ಅಪ್ರೂವಲ್ ಮತ್ತು ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ನೀತಿಗಳನ್ನು ಬಳಸಿ.","composer.mode.agentMode.tooltip.fullAccess":"ನೆಟ್‌ವರ್ಕ್‌ ಬಳಸುಹಕ್ಕಿನೊಂದಿಗೆ ಕೋಡೆಕ್ಸ್‌ ಪ್ರಾಜೆಕ್ಟ್‌ ಹೊರಗಿನ ಫೈಲ್‌ಗಳನ್ನು ತಿದ್ದಬಲ್ಲುದು ಮತ್ತು ಕಮಾಂಡ್‌ಗಳನ್ನು ಎಸಗಬಲ್ಲುದು. ಬಳಸುವಾಗ ಎಚ್ಚರಿಕೆಯಿಂದಿರಿ.","composer.mode.agentMode.tooltip.readOnly":"ಫೈಲ್‌ಗಳನ್ನು ತಿದ್ದಲು ಮತ್ತು ಕಮಾಂಡ್‌ಗಳನ್ನು ನಡೆಸಲು ಅಪ್ರೂವಲ್ ಬೇಕಾಗಿದೆ.","composer.mode.cloud.tooltip":"ಕ್ಲೌಡ್‌ ಪರಿಸರದಲ್ಲಿ ಕೆಲಸ ಮಾಡಿ","composer.mode.contactAdmin":"ಹೆಚ್ಚಿನ ಅಕ್ಸೆಸ್ ಪಡೆಯಲು, ನಿಮ್ಮ ಅಡ್ಮಿನ್‌ರನ್ನು ಸಂಪರ್ಕಿಸಿ","composer.mode.local":"ಸ್ಥಳೀಯ","composer.mode.local.learnMore":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","composer.mode.local.model.custom":"ಕಸ್ಟಮ್","composer.mode.local.model.loadingModel":"ಮಾಡೆಲ್ ಲೋಡ್ ಆಗುತ್ತಿದೆ","composer.mode.local.model.selecrReasoningEffort":"ರೀಸನಿಂಗ್ ಆರಿಸಿ","composer.mode.local.model.selectModel":"ಮಾಡೆಲ್ ಆರಿಸಿ","composer.mode.local.model.tooltip":"ಮಾಡೆಲ್ ಅನ್ನು ಆಯ್ತ್ಕೆ ಮಾಡಿ ","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"ಹೆಚ್ಚು","composer.mode.local.reasoning.low.label":"ಕಡಿಮೆ","composer.mode.local.reasoning.medium.label":"ಮಧ್ಯಮ","composer.mode.local.reasoning.minimal.label":"ಕನಿಷ್ಠ","composer.mode.local.reasoning.none.label":"ಯಾವುದೂ ಇಲ್ಲ","composer.mode.local.reasoning.xhigh.label":"ಅತಿ ಹೆಚ್ಚು","composer.mode.localRemoteWhereRun":"ಟಾಸ್ಕ್‌ ಅನ್ನು ಎಲ್ಲಿ ಎಸಗಬೇಕೆಂದು ಆರಿಸಿ","composer.mode.newTask.header":"ಇದರಲ್ಲಿ ಮುಂದುವರಿಸಿ","composer.mode.rateLimit.day":"{days}ದಿನ","composer.mode.rateLimit.heading":"ಉಳಿದಿರುವ ರೇಟ್‌ ಲಿಮಿಟ್ಸ್","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} ಮಿತಿ:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ವಾರದ ಲಿಮಿಟ್} other {{weeks} ವಾರದ ಲಿಮಿಟ್}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ವಾರಕ್ಕೆ } other {{weeks} ವಾರ}}","composer.mode.remote.connectToCloud":"ಕೋಡೆಕ್ಸ್ ವೆಬ್‌ ಕನೆಕ್ಟ್‌ ಮಾಡಿ","composer.mode.remote.connectToCloudDisabledTooltip":"ಟಾಸ್ಕ್ ಗಳನ್ನು ಕ್ಲೌಡ್‌ಗೆ ಕಳುಹಿಸುವುದನ್ನು ಎನೇಬಲ್‌ ಮಾಡಲು ಕೋಡೆಕ್ಸ್‌ ವೆಬ್‌ ಮೂಲಕ ಪರಿಸರ ನೆಲೆಗೊಳಿಸಿ","composer.mode.remote.selectEnvironment":"ಪರಿಸರ ಆರಿಸಿ","composer.mode.remote.sendToCloud":"ಕ್ಲೌಡ್‌ಗೆ ಕಳುಹಿಸಿ","composer.mode.remote.setupViaWeb":"ಕೋಡೆಕ್ಸ್‌ ವೆಬ್‌ ಮೂಲಕ ಪರಿಸರ ನೆಲೆಗೊಳಿಸಿ","composer.mode.runInCloud":"ಕ್ಲೌಡ್‌","composer.mode.runInCloudWithEnvironment":"ಕ್ಲೌಡ್‌ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ಕ್ಲೌಡ್‌ ಪರಿಸರದಲ್ಲಿ ಕೆಲಸ ಮಾಡಿ","composer.mode.segmentedToggle.local.tooltip":"ನಿಮ್ಮ ಸ್ಥಳೀಯ ಪ್ರಾಜೆಕ್ಟ್‌ನಲ್ಲಿ ಕೆಲಸಮಾಡಿ","composer.mode.segmentedToggle.worktree.tooltip":"ಹೋಲುವ ವರ್ಕ್‌ಟ್ರೀಯಲ್ಲಿ ಕೆಲಸಮಾಡಿ","composer.mode.upgradeToPlus":"ಪ್ಲಸ್‌ಗೆ ಅಪ್ಗ್ರೇಡ್ ಮಾಡಿ","composer.mode.upgradeToPro":"Pro‌ಗೆ ಅಪ್‌ಗ್ರೇಡ್‌ ಮಾಡಿ","composer.mode.workLocally":"ಸ್ಥಳೀಯ ಪ್ರಾಜೆಕ್ಟ್","composer.mode.workLocally.currentBranchFallback":"ನಿಮ್ಮ ಕವಲು","composer.mode.workLocally.tooltip":"{branchName} ನಲ್ಲಿ ಕೆಲಸಮಾಡಿ","composer.mode.worktree":"ಹೊಸ ವರ್ಕ್‌ಟ್ರೀ","composer.mode.worktree.submoduleWarning":"ಈ ರೆಪೊದಲ್ಲಿ ಜಿಟ್ ಸಬ್‌ ಮಾಡ್ಯೂಲ್‌ಗಳಿವೆ. ವರ್ಕ್‌ಟ್ರೀ ರಚನೆ ವಿಫಲವಾಗಬಹುದು.","composer.mode.worktree.tooltip":"ಒಟ್ಟೊಟ್ಟಿಗೆ ಕೆಲಸ ಮಾಡಲು ನಿಮ್ಮ ಸ್ಥಳೀಯ ಪ್ರಾಜೆಕ್ಟ್‌ನ ಪಡಿಯಚ್ಚು ಹುಟ್ಟುಹಾಕಿ","composer.mode.worktreeSegment":"ವರ್ಕ್‌ಟ್ರೀ","composer.modelChangeDuringConversationWarning.toast":"ಸಂಭಾಷಣೆಯ ಮಧ್ಯದಲ್ಲಿ ಮಾಡೆಲ್‌ಗಳನ್ನು ಬದಲಾಯಿಸುವುದರಿಂದ ಕಾರ್ಯಕ್ಷಮತೆ ಕುಸಿಯುತ್ತದೆ.","composer.newChat.heading.browser":"ನಾವು ಮುಂದೆ ಯಾವ ಕೋಡ್‌ ಬರೆಯಬಹುದು?","composer.permissionsDropdown.agentMode.tooltip.custom":"config.toml ನಲ್ಲಿ ಹುರುಳಿಸಿದ ಒಪ್ಪಿಗೆಯನ್ನು ಕೋಡೆಕ್ಸ್‌ ಬಳಸುತ್ತದೆ.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"ಕೋಡೆಕ್ಸ್‌ ನಿಮ್ಮ ಕಂಪ್ಯೂಟರ್‌ನ ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು ಪಡೆದಿದೆ (ಮೇಲೆತ್ತಿದ ಕೇಡು)","composer.permissionsDropdown.custom.label":"ಕಸ್ಟಮ್ (config.toml)","composer.permissionsDropdown.custom.optionLabel":"ಕಸ್ಟಮ್ (config.toml)","composer.permissionsDropdown.default.label":"ಮೊದಲಾಯ್ಕೆಯ ಒಪ್ಪಿಗೆಗಳು","composer.permissionsDropdown.default.optionLabel":"ಮೊದಲಾಯ್ಕೆಯ ಒಪ್ಪಿಗೆಗಳು","composer.permissionsDropdown.default.tooltip":"ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ ತನ್ನಡೆತದಿಂದ ಕಮಾಂಡ್‌ಗಳನ್ನು ನಡೆಸುತ್ತದೆ","composer.permissionsDropdown.disabled.requirements":"requirements.toml ನಿಂದ ಒಪ್ಪಿಗೆಗಳಿಗೆ ಬೀಗ ಹಾಕಲಾಗಿದೆ","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml ನಿಂದ ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು ಡಿಸೇಬಲ್‌ ಆಗಿದೆ","composer.permissionsDropdown.fullAccess.label":"ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು","composer.permissionsDropdown.fullAccess.optionLabel":"ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು","composer.permissionsDropdown.trigger.tooltip":"ಒಪ್ಪಿಗೆಗಳನ್ನು ಮಾರ್ಪಡಿಸಿ","composer.personalitySlashCommand.description.friendly":"ಸವಿಯಾದ, ಕೂಡಿಗೆಯ್ಯುವ ಮತ್ತು ನೆರವಾಗುವ","composer.personalitySlashCommand.description.pragmatic":"ಅಡಕವಾದ, ಟಾಸ್ಕ್‌ ಮೇಲಿನ ಗಮನದ ಮತ್ತು ನೇರವಾದ","composer.personalitySlashCommand.label.friendly":"ಸ್ನೇಹಪೂರ್ವ","composer.personalitySlashCommand.label.pragmatic":"ಪ್ರಾಯೋಗಿಕ","composer.personalitySlashCommand.notApplicableSuffix":"(ಪ್ರಸ್ತುತ ಮಾಡೆಲ್‌ಗೆ ಅನ್ವಯಿಸುವುದಿಲ್ಲ)","composer.personalitySlashCommand.title":"ಪರ್ಸನಾಲಿಟಿ","composer.placeholder.cloudFollowUp.directFollowUp":"ಈ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಅನ್ನು ಫಾಲೋ ಮಾಡಿ","composer.placeholder.cloudFollowUp.local":"ಈ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್‌ ಅನ್ನು ಹೆಸರಿಸುವ ಹೊಸ ಸ್ಥಳೀಯ ಟಾಸ್ಕ್‌ ಕ್ರಿಯೇಟ್ ಮಾಡಿ","composer.placeholder.cloudFollowUp.workingTree":"ನಿಮ್ಮ ಈಗಿನ ಕೋಡ್‌ ಒಳಗೊಂಡಿರುವ ಮತ್ತು ಈ ಟಾಸ್ಕ್‌ ಅನ್ನು ಹೆಸರಿಸುವ ಹೊಸ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್‌ ಕ್ರಿಯೇಟ್ ಮಾಡಿ","composer.placeholder.localFollowUp.cloud":"ಹೊಸ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್‌ನಲ್ಲಿ ಮುಂದುವರಿಕೆ","composer.placeholder.localFollowUp.locally":"ಮುಂದುವರಿಕೆ ಚೇಂಜಸ್ಗಳಿಗಾಗಿ ಕೇಳಿ","composer.placeholder.newTask.cloud":"ಕ್ಲೌಡ್‌ನಲ್ಲಿ ಏನನ್ನಾದರೂ ಮಾಡಲು ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ಕೇಳಿ","composer.placeholder.newTask.doAnything":"ಏನನ್ನಾದರೂ ಮಾಡಲು ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ಕೇಳಿ","composer.placeholder.newTask.locally":"ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ಏನಾದರು ಕೇಳಿ. @ ಫೈಲ್ ಗಳನ್ನು ಸೇರಿಸಲು, / ಆಜ್ನೆಗಳಿಗಾಗಿ","composer.planModeDropdown":"ಪ್ಲಾನ್ ಮೋಡ್","composer.planModeDropdown.ariaLabel":"ಪ್ಲಾನ್ ಮೋಡ್","composer.planModeIndicator":"ಯೋಜನೆ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"ಕೋಡೆಕ್ಸ್‌ನೊಂದಿಗೆ ಪ್ಲಾನ್‌ ಹುಟ್ಟುಹಾಕಿ","composer.planModeIndicator.tooltipToggle":"ಟಾಗಲ್ ಮಾಡಲು","composer.planSlashCommand.disableDescription":"ಪ್ಲಾನ್ ಮೋಡ್ ಅನ್ನು ಆಫ್ ಮಾಡಿ","composer.planSlashCommand.enableDescription":"ಪ್ಲಾನ್ ಮೋಡ್ ಆನ್ ಮಾಡಿ","composer.planSlashCommand.title":"ಪ್ಲಾನ್ ಮೋಡ್","composer.priorContext.label":"ಹಿಂದಿನ ಕಾಂಟೆಕ್ಸ್ಟ್","composer.priorContext.removeAriaLabel":"ಹಿಂದಿನ ಕಾಂಟೆಕ್ಸ್ಟ್ ರಿಮೂವ್ ಮಾಡಿ","composer.queuedMessage.delete":"ಸರತಿಸಾಲಿನಲ್ಲಿರುವ ಸಂದೇಶವನ್ನು ಅಳಿಸಿ","composer.queuedMessage.edit":"ಸಂದೇಶವನ್ನು ಸಂಪಾದಿಸಿ","composer.queuedMessage.more":"ಸರತಿಸಾಲಿನಲ್ಲಿರುವ ಸಂದೇಶದ ಆಕ್ಶನ್‌ಗಳು","composer.queuedMessage.sendNow":"ಸ್ಟಿಯರ್‌","composer.queuedMessage.sendNowTooltip":"ಕೆಲಸಕ್ಕೆ ಅಡ್ಡಿಯಾಗದಂತೆ ಈಗ ಕಳುಹಿಸಿ","composer.queuedMessage.turnOff":"ಸರತಿಸಾಲಿಗೆ ಸೇರಿಸುವುದನ್ನು ಆಫ್‌ ಮಾಡಿ","composer.reasoningEffort.local.reasoning.tooltip":"ರೀಸನಿಂಗ್ ಪ್ರಯತ್ನ ಆರಿಸಿ","composer.remote.branchStartingPoint":"ಈ‌ ಟಾಸ್ಕ್ ಯಾವ ಕವಲಿನಿಂದ ಆರಂಭವಾಗಬೇಕು?","composer.remote.branchesSectionHeading":"ವಿಭಾಗಗಳು","composer.remote.currentEditsSuffix.followUp":"ಈ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಅನ್ನು ಹೆಸರಿಸುವ ಹೊಸ ಟಾಸ್ಕ್ ಕ್ರಿಯೇಟ್ ಮಾಡಿ.","composer.remote.currentEditsSuffix.useLocal":"ಸ್ಥಳೀಯ ಕೋಡ್‌ ಚೇಂಜಸ್ ಗಳೊಂದಿಗೆ","composer.remote.directFollowUp":"ಸ್ಥಳೀಯ ಚೇಂಜಸ್ ಅನ್ನು ಬಳಸಬೇಡಿ","composer.remote.errorLoadingBranches":"ಬ್ರಾಂಚ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡುವಾಗ ತಪ್ಪಾಗಿದೆ","composer.remote.fromBranch":"{branch} ರಿಂದ","composer.remote.fromCurrentBranch":"{branch} ನಿಂದ (ಈಗಿನ)","composer.remote.loadingMoreBranches":"ಲೋಡ್ ಆಗುತ್ತಿದೆ...","composer.remote.localFileStateHeading":"ಸ್ಥಳೀಯ ಫೈಲ್‌ ಸ್ಥಿತಿ","composer.remote.localWorkingTree":"ಸ್ಥಳೀಯ ಚೇಂಜಸ್ ಅನ್ನು ಬಳಸಿ","composer.remote.startingPoint":"ಈ‌ ಟಾಸ್ಕ್ ಯಾವ ಕೋಡ್‌ನಿಂದ ಆರಂಭವಾಗಬೇಕು?","composer.reviewMode.branches.error":"ಕವಲುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ","composer.reviewMode.branches.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","composer.reviewMode.gitRoot.error":"Git root ಕಂಡುಬಂದಿಲ್ಲ","composer.reviewMode.option.baseBranch.simple":"ಬುಡಮಟ್ಟದ ಕವಲಿನ ಹೋಲಿಕೆಯಲ್ಲಿ ರಿವ್ಯೂ ಮಾಡಿ","composer.reviewMode.option.unstaged.simple":"ಕಮಿಟ್‌ ಆಗದ ಚೇಂಜಸ್ ಅನ್ನು ರಿವ್ಯೂ ಮಾಡಿ","composer.reviewMode.quickReviewError":"ಕೋಡ್‌ ರಿವ್ಯೂ ಆರಂಭಿಸಲು ಆಗಲಿಲ್ಲ.","composer.reviewMode.title":"ಕೋಡ್ ರಿವ್ಯೂ","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml ನಿಂದ ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು ಡಿಸೇಬಲ್‌ ಆಗಿದೆ","composer.sandboxButton.windowsSandboxDialog.content":"ಫೈಲ್‌ಸಿಸ್ಟಮ್‌ ಮತ್ತು ನೆಟ್‌ವರ್ಕ್‌ ಬಳಸುಹಕ್ಕನ್ನು ಹದ್ದಿನಲ್ಲಿಡಲು ವಿಂಡೋಸ್‌ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ ಒರೆತದ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಬಳಸಬಹುದು.{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"ವಿಂಡೋಸ್ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್ ಎನೇಬಲ್‌ ಮಾಡಬೇಕೇ?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"ಬರೀ ಓದಬಲ್ಲ ಮೋಡ್‌ ಬಳಸಿ","composer.searchEnvironments":"ಪರಿಸರಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಿ","composer.skillMentionList.app":"ಆ್ಯಪ್‌","composer.skillMentionList.appLogoAlt":"{name} ಲೋಗೋ","composer.skillMentionList.loading":"ಸ್ಕಿಲ್ಸ್ ಅನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","composer.skillMentionList.noResults":"ಸ್ಕಿಲ್ಸ್ ಕಂಡುಬಂದಿಲ್ಲ","composer.slashCommands.cloudEnvironment.title":"ಕ್ಲೌಡ್‌ ಪರಿಸರ","composer.slashCommands.dialogLabel":"ಸ್ಲ್ಯಾಶ್‌ ಕಮಾಂಡ್ ಮೆನ್ಯು","composer.slashCommands.dialogTitle":"ಸ್ಲ್ಯಾಶ್‌ ಕಮಾಂಡ್‌ಗಳು","composer.slashCommands.disabledTooltip":"ಸ್ಲ್ಯಾಶ್‌ ಕಮಾಂಡ್‌ಗಳನ್ನು ಬಳಸಲು ಹೊಸ ಕಾನ್ವರ್ಸೇಷನ್ ಶುರುಮಾಡಿ","composer.slashCommands.inputPlaceholder":"ಸರ್ಚ್ ಮಾಡಿ","composer.slashCommands.noResults":"ಕಮಾಂಡ್‌ಗಳಿಲ್ಲ","composer.slashCommands.skillsGroup":"ಸ್ಕಿಲ್ಸ್","composer.slashCommands.tooltip":"ಸ್ಲ್ಯಾಶ್‌ ಕಮಾಂಡ್‌ಗಳನ್ನು ಬ್ರೌಸ್ ಮಾಡಿ","composer.status.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","composer.statusPlain.alertLabel":"ಎಚ್ಚರಿಕೆ:","composer.statusPlain.alertValue":"{window} ನಲ್ಲಿ {remaining}% ಉಳಿದಿದೆ","composer.statusPlain.contextLabel":"ಕಾಂಟೆಕ್ಸ್ಟ್:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ಬಳಸಲಾಗಿದೆ / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% ಉಳಿದಿದೆ","composer.statusPlain.heading":"ಸ್ಥಿತಿ","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ಮಿತಿ:","composer.statusPlain.rateLimitDays":"{count} ದಿನಗಳ ಎಲ್ಲೆ","composer.statusPlain.rateLimitFallbackLabel":"ರೇಟ್‌ ಎಲ್ಲೆ:","composer.statusPlain.rateLimitHours":"{count}ತಾಸಿನ ಎಲ್ಲೆ","composer.statusPlain.rateLimitLabelBase":"ರೇಟ್‌ ಎಲ್ಲೆ","composer.statusPlain.rateLimitMinutes":"{count}ನಿಮಿಷಗಳ ಎಲ್ಲೆ","composer.statusPlain.rateLimitPercent":"{remaining}% ಉಳಿದಿದೆ","composer.statusPlain.rateLimitReset":"ರಿಸೆಟ್ ಆಗುವ ಹೊತ್ತು {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"ರಿಸೆಟ್ ಹೊತ್ತು ದೊರೆಯುತ್ತಿಲ್ಲ","composer.statusPlain.rateLimitUnavailable":"ದೊರೆಯುತ್ತಿಲ್ಲ","composer.statusPlain.sessionCopiedAriaLabel":"ಸೆಶನ್‌ ID ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","composer.statusPlain.sessionCopiedTooltip":"ID ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","composer.statusPlain.sessionCopyAriaLabel":"ಸೆಶನ್‌ ID ಕಾಪಿ ಮಾಡಿ","composer.statusPlain.sessionCopyTooltip":"ID ಕಾಪಿ ಮಾಡಿ","composer.statusPlain.sessionLabel":"ಸೆಶನ್‌:","composer.statusSlashCommand.description":"ಥ್ರೆಡ್‌ ಐಡಿ, ಕಾಂಟೆಕ್ಸ್ಟ್ ಬಳಕೆ ಮತ್ತು ರೇಟ್‌ ಎಲ್ಲೆಗಳನ್ನು ತೋರಿಸಿ","composer.statusSlashCommand.title":"ಸ್ಥಿತಿ","composer.submit.blockedDialogOk":"ಸರಿ","composer.submit.blockedDialogTitle":"ಸಂದೇಶ ಕಳುಹಿಸಲು ಆಗುತ್ತಿಲ್ಲ","composer.submit.emptyMessage":"ಆರಂಭಿಸಲು ಸಂದೇಶ ಬರೆಯಿರಿ","composer.submit.imageInputsUnsupported":"ಈ ಸಂದೇಶ ಕಳುಹಿಸಲು ಇಮೇಜ್‌ಗಳನ್ನು ತೆಗೆದುಹಾಕಿ ಇಲ್ಲವೇ ಮಾಡೆಲ್‌ಗಳನ್ನು ಮಾರ್ಪಡಿಸಿ.","composer.submit.loadingLocalConfig":"ಲೋಡ್ ಆಗುತ್ತಿದೆ...","composer.submit.missingCloudConfig":"ನೀವು ಕ್ಲೌಡ್‌ ಪರಿಸರವೊಂದನ್ನು ಆಯ್ಕೆಮಾಡಲೇಬೇಕು","composer.submit.missingCloudTurn":"ಈ ಟಾಸ್ಕ್ ಅನ್ನು ಮುಂದುವರಿಸಲು ಆಗುವುದಿಲ್ಲ","composer.submit.noWorkspace":"ಕೋಡೆಕ್ಸ್‌ ಬಳಸಲು ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","composer.submit.waitForImageUploads":"ಇಮೇಜ್‌ಗಳು ಅಪ್‌ಲೋಡ್‌ ಆಗುತ್ತಿವೆ...","composer.submitButtonTooltip.send":"ಕಳುಹಿಸಿ","composer.submitButtonTooltip.stop":"ನಿಲ್ಲಿಸಿ","composer.worktreeEnvironment.create":"ಸ್ಥಳೀಯ ಪರಿಸರ ಹುಟ್ಟುಹಾಕಿ","composer.worktreeEnvironment.default":"ಮೊದಲಾಯ್ಕೆಯ ಪರಿಸರ","composer.worktreeEnvironment.error":"ಪರಿಸರಗಳನ್ನು ಲೋಡ್ ಮಾಡುವಲ್ಲಿ ತಪ್ಪಾಗಿದೆ","composer.worktreeEnvironment.loading":"ಪರಿಸರಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","composer.worktreeEnvironment.title":"ಸ್ಥಳೀಯ ಪರಿಸರ","composer.worktreeEnvironment.tooltip":"ಸ್ಥಳೀಯ ಪರಿಸರ ಆರಿಸಿ","composer.worktreeSetupFailed":"ವರ್ಕ್‌ಟ್ರೀ ನೆಲೆಗೊಳಿಕೆ ಆಗಲಿಲ್ಲ. ನೆಲೆಗೊಳಿಕೆ ಸ್ಕ್ರಿಪ್ಟ್‌ಗಾಗಿ .codex/environments ನೋಡಿ.","compoundButton.secondaryAction":"ಎರಡನೇ ಆಕ್ಶನ್‌","copyButton.copied":"ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","copyButton.copiedAriaLabel":"ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","copyButton.copy":"ಕಾಪಿ ಮಾಡಿ","copyButton.copyAriaLabel":"ಕಾಪಿ ಮಾಡಿ","copyButton.copyCode":"ಕೋಡ್ ನಕಲಿಸಿ","diff.actionButton.revertFile":"ಫೈಲ್‌ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಿ","diff.actionButton.revertHunk":"ರೀವರ್ಟ್ ಮಾಡಿ","diff.actionButton.revertSection":"ಎಲ್ಲವನ್ನು ರಿವರ್ಟ್ ಮಾಡಿ","diff.actionButton.revertSectionLabel":"ಎಲ್ಲವನ್ನು ರಿವರ್ಟ್ ಮಾಡಿ","diff.actionButton.stageFile":"ಫೈಲ್‌ ಏರ್ಪಡಿಸಿ","diff.actionButton.stageHunk":"ಏರ್ಪಡಿಸಿ","diff.actionButton.stageSection":"ಎಲ್ಲವನ್ನು ಏರ್ಪಡಿಸಿ","diff.actionButton.stageSectionLabel":"ಎಲ್ಲವನ್ನು ಏರ್ಪಡಿಸಿ","diff.actionButton.unstageFile":"ಫೈಲ್‌ ಏರ್ಪಡಿಸದಿರಿ","diff.actionButton.unstageHunk":"ಏರ್ಪಡಿಸದಿರಿ","diff.actionButton.unstageSection":"ಎಲ್ಲವನ್ನು ಏರ್ಪಡಿಸದಿರಿ","diff.actionButton.unstageSectionLabel":"ಎಲ್ಲವನ್ನು ಏರ್ಪಡಿಸದಿರಿ","diff.fileHeader.toggle":"ಫೈಲ್‌ diff ಟಾಗಲ್‌","electron.onboarding.login.apikey.cancel":"ರದ್ದುಮಾಡಿ","electron.onboarding.login.apikey.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","electron.onboarding.login.apikey.label":"OpenAI API ಕೀ","electron.onboarding.login.apikey.open":"API ಕೀ ಬರೆಯಿರಿ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"ಸೈನ್ ಇನ್ ರದ್ದುಮಾಡಿ","electron.onboarding.login.chatgpt.continue":"ChatGPT ಯೊಂದಿಗೆ ಮುಂದುವರಿಸಿ","electron.onboarding.login.devbox":"ದೂರದ SSH ಗೆ ಕೂಡಿಸಿ","electron.onboarding.login.error":"ಸೈನ್ ಇನ್ ಆಗಲಿಲ್ಲ: {rawMessage}","electron.onboarding.login.snake.start":"ಸ್ನೇಕ್ ಆಟವನ್ನು ಆಡಿ","electron.onboarding.login.sshConfig.cancel":"ರದ್ದುಮಾಡಿ","electron.onboarding.login.sshConfig.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","electron.onboarding.login.sshConfig.hostnameLabel":"SSH ಹೋಸ್ಟ್‌ ಹೆಸರು","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ಏಜೆಂಟ್‌ಗಳೊಂದಿಗೆ ಕಟ್ಟಲು ಹೇಳಿ ಮಾಡಿಸಿದ ದಾರಿ","electron.onboarding.login.title":"ಕೋಡೆಕ್ಸ್‌ಗೆ ಸುಸ್ವಾಗತ","electron.onboarding.shell.title":"ಕೋಡೆಕ್ಸ್‌","electron.onboarding.welcome.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","electron.onboarding.welcome.doubleLimits.description":"ಕೋಡೆಕ್ಸ್‌ ಆಪ್‌ ತೊಡಗಿಕೆಯನ್ನು ಕೊಂಡಾಡಲು, ಏಪ್ರಿಲ್‌ 2 ರವರೆಗೆ ನಿಮಗೆ 2× ರೇಟ್‌ ಎಲ್ಲೆಗಳು ದೊರೆಯುತ್ತವೆ.","electron.onboarding.welcome.freego.description":"ಮಾರ್ಚ್‌ 2ನೇ ತೇದಿಯವರೆಗೆ ನಿಮ್ಮ ಪ್ಲಾನ್‌ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ ಇರುತ್ತದೆ - ಒಟ್ಟಿಗೆ ಕಟ್ಟುವುದನ್ನು ಆರಂಭಿಸೋಣ ಬನ್ನಿ.","electron.onboarding.welcome.new.title.anon":"ಸ್ವಾಗತ!","electron.onboarding.workspace.continue":"ಮುಂದುವರಿಸಿ","electron.onboarding.workspace.empty":"ಮುಂದುವರಿಸಲು ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ.","electron.onboarding.workspace.listLabel":"ದೊರೆಯುವ ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು","electron.onboarding.workspace.loading":"ಪ್ರಾಜೆಕ್ಟ್‌ಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","electron.onboarding.workspace.openFolder":"ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","electron.onboarding.workspace.selectAll":"ಎಲ್ಲವನ್ನೂ ಆಯ್ಕೆಮಾಡಿ","electron.onboarding.workspace.skip":"ಬಿಟ್ಟುಬಿಡಿ","electron.onboarding.workspace.skip.error":"ಹೊಸ ಪ್ರಾಜೆಕ್ಟ್ ಹುಟ್ಟುಹಾಕಲು ಆಗಲಿಲ್ಲ: {message}","electron.onboarding.workspace.skip.error.unknown":"ತಿಳಿಯದ ತಪ್ಪು","electron.onboarding.workspace.skipping":"ಹೊಸ ಪ್ರಾಜೆಕ್ಟ್ ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ...","electron.onboarding.workspace.subtitle":"ಆರಿಸಿದ ಫೋಲ್ಡರ್‌ಗಳಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ ಫೈಲ್‌ಗಳನ್ನು ತಿದ್ದಬಲ್ಲುದು ಮತ್ತು ಕಮಾಂಡ್‌ಗಳನ್ನು ಎಸಗಬಲ್ಲುದು.","electron.onboarding.workspace.title":"ಪ್ರಾಜೆಕ್ಟ್ ಆಯ್ಕೆಮಾಡಿ","errorPage.list.checkSettings":"ನಿಮ್ಮ IDE ಸೆಟಿಂಗ್‌ಗಳನ್ನು ಅಪ್‌ಡೇಟ್‌ ಮಾಡಲು ನೋಡಿ","errorPage.list.configToml":"ತಪ್ಪಾದ ಸೆಟಿಂಗ್‌ಗಳಿಗಾಗಿ ನಿಮ್ಮ config.toml ನೋಡಿ","errorPage.list.downloadExtension":"ಎಕ್ಸ್‌ಟೆನ್ಶನ್‌ನ ಬೇರೆ ಆವೃತ್ತಿ ಡೌನ್‌ಲೋಡ್‌ ಮಾಡಲು ನೋಡಿ","errorPage.list.runInWsl":"ಹೊಂದಿಕೆಯ ತೊಡಕುಗಳು ಕಂಡುಬಂದರೆ, WSL ನಲ್ಲಿ ನಡೆಸುವುದನ್ನು ಡಿಸೇಬಲ್‌ ಮಾಡಲು ಸೆಟಿಂಗ್‌ಗಳನ್ನು ನೋಡಿ","execApprovalRequest.menu.runAlways":"ಹೌದು, ಮತ್ತು ಈ ಸೆಷನ್‌ನಲ್ಲಿ ಪುನಃ ಕೇಳಬೇಡಿ","execApprovalRequest.menu.runAlwaysWithAmendment":"ಹೌದು, ಮತ್ತು {command}ರಿಂದ ಪ್ರಾರಂಭವಾಗುವ ಕಮಾಂಡ್‌ಗಳಿಗಾಗಿ ಮತ್ತೆ ಕೇಳಬೇಡಿ","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ಹೌದು, ಮತ್ತು ಇದರಿಂದ ಪ್ರಾರಂಭವಾಗುವ ಕಮಾಂಡ್‌ಗಳಿಗಾಗಿ ಮತ್ತೆ ಕೇಳಬೇಡಿ","execApprovalRequest.menu.runOnce":"ಹೌದು","execApprovalRequest.prompt":"ನೀವು ಈ ಕಮಾಂಡ್ ಅನ್ನು ರನ್ ಮಾಡಬೇಕೆ?","execApprovalRequest.reject":"ಇಲ್ಲ","execFooter.exitCode":"ಎಕ್ಸಿಟ್‌ ಕೋಡ್‌ {code}","execFooter.exitCode.unknown":"ತಿಳಿಯದ","execFooter.success":"ಯಶಸ್ಸು","feedback.dialog.category.badResult":"ಕೆಟ್ಟ ಫಲಿತಾಂಶ","feedback.dialog.category.bug":"ಬಗ್‌","feedback.dialog.category.goodResult":"ಒಳ್ಳೆಯ ಫಲಿತಾಂಶ","feedback.dialog.category.other":"ಇತರೆ","feedback.dialog.category.safetyCheck":"ಕಾಪುಗೆ ಪರಿಶೀಲನೆ","feedback.dialog.descriptionPlaceholder":"ತೊಡಕು ಏನೆಂದು ಇಲ್ಲಿ ಬಣ್ಣಿಸಿ","feedback.dialog.dismiss":"ತಳ್ಳಿಹಾಕಿ","feedback.dialog.includeLogsLabel":"ಈಗಿನ ಕೋಡೆಕ್ಸ್ ಸೆಶನ್‌ ಲಾಗ್‌ಗಳನ್ನು ಸೇರಿಸಿ","feedback.dialog.submit":"ಸಬ್ಮಿಟ್ ಮಾಡಿ","feedback.dialog.submitError":"ನಿಮ್ಮ ಫೀಡ್ಬ್ಯಾಕ್ ಸಬ್ಮಿಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ತುಸುಹೊತ್ತಿನಲ್ಲೇ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.","feedback.dialog.title":"ಫೀಡ್ಬ್ಯಾಕ್","feedback.dialog.uploadedMessage.existingIssue":"ಇರುವ ತೆರೆದ ತೊಡಕು","feedback.dialog.uploadedMessage.openIssue":"GitHub ತೊಡಕು ತೆರೆಯಿರಿ","feedback.dialog.uploadedMessage.withThread":"ಫೀಡ್ಬ್ಯಾಕ್ ಅಪ್ಲೋಡ್ ಆಗಿದೆ. ತೊಂದರೆ ಮುಂದುವರಿದರೆ, ದಯವಿಟ್ಟು {openIssueLink} ಇಲ್ಲವೇ {existingIssueLink} ರಲ್ಲಿ ಥ್ರೆಡ್‌ ಐಡಿ ಹೆಸರಿಸಿ:","feedback.dialog.uploadedTitle":"ಫೀಡ್ಬ್ಯಾಕ್ ಅಪ್ಲೋಡ್ ಆಗಿದೆ","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} ರಿಮೂವ್ ಮಾಡಿ","header.back":"ಹಿಂದಕ್ಕೆ","header.recentChats":"ಟಾಸ್ಕ್ ಗಳು","header.recentTasks.seeAll":"ಎಲ್ಲವನ್ನೂ ನೋಡಿ ({total})","home.header.getPlus":"ಪ್ಲಸ್ ಪಡೆಯಿರಿ","home.hero.letsBuild":"ಬನ್ನಿ ಕಟ್ಟೋಣ","homePage.mainContent":"ಮುಖ್ಯ ಕಾಂಟೆಂಟ್‌","imageAttachment.defaultName":"ಇಮೇಜ್","imageAttachment.preview.close":"ಚಿತ್ರ ಪೂರ್ವವೀಕ್ಷಣೆಯನ್ನು ಮುಚ್ಚಿರಿ","imageAttachment.removeAriaLabel":"{filename} ರಿಮೂವ್ ಮಾಡಿ","implementPlanRequest.option.implement":"ಹೌದು, ಈ ಯೋಜನೆಯನ್ನು ಜಾರಿಗೆ ತನ್ನಿ","implementPlanRequest.prompt":"ಈ ಯೋಜನೆಯನ್ನು ಜಾರಿಗೆ ತರಬೇಕೆ?","inbox.archived.deleteError":"ಆರ್ಕೈವ್‌ ಮಾಡಲಾದ ಎಸಗಿಕೆಯನ್ನು ಅಳಿಸಲು ಆಗಲಿಲ್ಲ","inbox.archived.deleteRun":"ಆರ್ಕೈವ್‌ ಮಾಡಲಾದ ಎಸಗಿಕೆಯನ್ನು ಅಳಿಸಿ","inbox.archived.deleteSuccess":"ಆರ್ಕೈವ್‌ ಮಾಡಲಾದ ಥ್ರೆಡ್‌ ಅನ್ನು ಅಳಿಸಲಾಗಿದೆ. <settingsLink>ಆರ್ಕೈವ್ ಮಾಡಲಾದ ಥ್ರೆಡ್‌ಗಳು</settingsLink> ನಲ್ಲಿ ನೋಡಿ.","inbox.archived.inlineLabel.auto":"ಈ ಥ್ರೆಡ್‌ ತನ್ನಡೆತದಿಂದ ಆರ್ಕೈವ್‌ ಆಗಿದೆ. <learnMoreLink>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</learnMoreLink>","inbox.archived.inlineLabel.manual":"ಈ ಥ್ರೆಡ್ ಅನ್ನು ಆರ್ಕೈವ್‌ ಮಾಡಲಾಗಿದೆ.","inbox.archived.noMessageFound":"ಯಾವುದೇ ಸಂದೇಶ ಕಂಡುಬಂದಿಲ್ಲ","inbox.automations.createError":"ತನ್ನಡೆತ ಹುಟ್ಟುಹಾಕಲು ಆಗಲಿಲ್ಲ","inbox.automations.deleteConfirm.cancel":"ರದ್ದುಮಾಡಿ","inbox.automations.deleteConfirm.confirm":"ತನ್ನಡೆತ ಅಳಿಸಿ","inbox.automations.deleteConfirm.description":"ಇದು ತನ್ನಡೆತವನ್ನು ಶಾಶ್ವತವಾಗಿ ಅಳಿಸುತ್ತದೆ ಮತ್ತು ಯಾವುದೇ ಮುಂದಿನ ಎಸಗಿಕೆಗಳನ್ನು ನಿಲ್ಲಿಸುತ್ತದೆ.","inbox.automations.deleteConfirm.title":"{name} ಡಿಲೀಟ್ ಮಾಡಬೇಕೇ?","inbox.automations.deleteError":"ತನ್ನಡೆತವನ್ನು ಅಳಿಸಲು ಆಗಲಿಲ್ಲ","inbox.automations.editTooltip":"ಸ್ವಯಂಚಾಲಿತತೆಯನ್ನು ತಿದ್ದಿ","inbox.automations.inProgress":"ಪ್ರಗತಿಯಲ್ಲಿದೆ","inbox.automations.new":"ಹೊಸ","inbox.automations.newToolbar":"ಹೊಸ ಯಾಂತ್ರೀಕರಣ","inbox.automations.pauseTooltip":"ತನ್ನಡೆತವನ್ನು ತಡೆಯಲಾಗಿದೆ","inbox.automations.resumeTooltip":"ತನ್ನಡೆತವನ್ನು ಮುಂದುವರಿಸಿ","inbox.automations.startingNow":"ಈಗಲೇ ಆರಂಭವಾಗುತ್ತಿದೆ","inbox.automations.startsIn":"{startTime} ಗೆ ಆರಂಭವಾಗುತ್ತದೆ","inbox.automations.status.active":"ಸಕ್ರಿಯ","inbox.automations.status.paused":"ವಿರಾಮಗೊಳಿಸಲಾಗಿದೆ","inbox.automations.status.runs":"{count} ನಡೆತಗಳು","inbox.automations.status.started":"ಶುರುವಾದದ್ದು {date}","inbox.automations.updateError":"ತನ್ನಡೆತ ಅಪ್‌ಡೇಟ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ","inbox.automations.workspaceFallback":"-","inbox.filter.all":"ಎಲ್ಲ","inbox.filter.ariaLabel":"ಇನ್‌ಬಾಕ್ಸ್‌ ಐಟಮ್‌ಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ","inbox.filter.unread":"ಓದದ","inbox.list.archived":"ಆರ್ಕೈವ್","inbox.list.inProgress":"ಪ್ರಗತಿಯಲ್ಲಿದೆ","inbox.list.recent":"ಮುಗಿದದ್ದು","inbox.list.upNext":"ನಿಗದಿಪಡಿಸಲಾಗಿದೆ","inbox.mode.automations":"ತನ್ನಡೆತಗಳು","inbox.mode.automations.beta":"ಬೀಟಾ","inbox.noDescription":"ಯಾವುದೇ ವಿವರಣೆಯನ್ನು ಒದಗಿಸಲಾಗಿಲ್ಲ.","inbox.openThread":"ಥ್ರೆಡ್‌ ತೆರೆಯಿರಿ","inbox.rightPanel.emptySubtitle":"ಹೊತ್ತುಹೂಡಲಾದ ಟಾಸ್ಕ್‌ಗಳನ್ನು ನೆಲೆಗೊಳಿಸುವ ಮೂಲಕ ಕೆಲಸವನ್ನು ತನ್ನಡೆಯಿಸಿ","inbox.rightPanel.emptySubtitle.learnMore":"ಹೊತ್ತುಹೂಡಲಾದ ಥ್ರೆಡ್‌ಗಳನ್ನು ನೆಲೆಗೊಳಿಸುವ ಮೂಲಕ ಕೆಲಸವನ್ನು ತನ್ನಡೆಯಿಸಿ<link>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# ಸಕ್ರಿಯ ತನ್ನಡೆತ} other {# ಸಕ್ರಿಯ ತನ್ನಡೆತಗಳು}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"ಓದದೆ ಉಳಿದ ತನ್ನಡೆತಗಳಿಲ್ಲ","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ಓದದ ತನ್ನಡೆತ} other {# ಓದದ ತನ್ನಡೆತಗಳು}}","inbox.rightPanel.emptyTitle":"ಯಾವುದೇ ಐಟಮ್‌ ಆರಿಸಿಲ್ಲ","inbox.rightPanel.noThread":"ಈ ಐಟಂಗೆ ಥ್ರೆಡ್‌ ಇಲ್ಲ","inbox.rightPanel.quickStart.header":"ಟೆಂಪ್ಲೇಟ್‌ನೊಂದಿಗೆ ಶುರುಮಾಡಿ","inbox.untitled":"ಹೆಸರಿಲ್ಲದ ಇನ್‌ಬಾಕ್ಸ್‌ ಐಟಮ್‌","loadingPage.documentationLink":"ಡಾಕ್ಯುಮೆಂಟೇಶನ್","loadingPage.errorDescription":"ಈ ಕೆಳಗಿನ ತಪ್ಪಿನೊಂದಿಗೆ ಕೋಡೆಕ್ಸ್‌ ಕುಸಿದಿದೆ:","loadingPage.errorDescription.documentation":"ಕೋಡೆಕ್ಸ್ ಎಕ್ಸ್‌ಟೆನ್ಶನ್‌ ರೀಸ್ಟಾರ್ಟ್ ಮಾಡಲು ರೀಲೋಡ್‌ ಕ್ಲಿಕ್‌ ಮಾಡಿ, ಇಲ್ಲವೇ ಹೆಚ್ಚುವರಿ ನೆರವಿಗಾಗಿ ನಮ್ಮ {documentationLink} ಗೆ ಹೋಗಿ.","loadingPage.errorSignal":"ಇವುಗಳನ್ನು ಮಾಡಿ ನೋಡಬಹುದು:","loadingPage.errorTitle":"ಏನೊ ತಪ್ಪಾಗಿದೆ","loadingPage.openConfigToml":"config.toml ತೆರೆಯಿರಿ","loadingPage.reload":"ಮತ್ತೆ ಲೋಡ್ ಮಾಡಿ","localConversation.contextCompacted":"ನೆಲೆ ತನ್ನಡೆತದಿಂದ ಅಡಕವಾಗಿದೆ","localConversation.contextCompacting":"ನೆಲೆ ತನ್ನಡೆತದಿಂದ ಅಡಕವಾಗುತ್ತಿದೆ","localConversation.finalAssistantMessageDivider":"ಕೊನೆಯ ಸಂದೇಶ","localConversation.forkedFromConversation":"{threadTitle} ರಿಂದ ವಿಭಜಿಸಲಾಗಿದೆ.","localConversation.merge.autoResolve.failed":"ತನ್ನಡೆತದ ಬಗೆಹರಿಕೆಯ ಕೋರಿಕೆ ಕಳುಹಿಸಲು ಆಗಲಿಲ್ಲ: {error}","localConversation.merge.autoResolve.sent":"ತನ್ನಡೆತದ ಬಗೆಹರಿಕೆಯ ಕೋರಿಕೆ ಕಳುಹಿಸಲಾಗಿದೆ","localConversation.merge.autoResolveMerge.missingConversation":"ನಡೆಯುತ್ತಿರುವ ಮಾತುಕತೆ ಇಲ್ಲದೆ ತನ್ನಡೆತದಿಂದ ಬಗೆಹರಿಸಲು ಆಗುವುದಿಲ್ಲ.","localConversation.merge.autoResolveMerge.request":"ಒಂದುಗೂಡಿಕೆ ತಿಕ್ಕಾಟಗಳನ್ನು ತನ್ನಡೆತದಿಂದ ಬಗೆಹರಿಸಿ","localConversation.modelChanged":"ಮಾಡೆಲ್ಅನ್ನು {fromModel} ರಿಂದ {toModel} ಕ್ಕೆ ಬದಲಾಯಿಸಲಾಗಿದೆ.","localConversation.modelChanged.warning.line1":"ಸಂಭಾಷಣೆಯ ಮಧ್ಯದಲ್ಲಿ ಮಾಡೆಲ್‌ಗಳನ್ನು ಬದಲಾಯಿಸುವುದರಿಂದ ಕಾರ್ಯಕ್ಷಮತೆ ಕುಸಿಯುತ್ತದೆ.","localConversation.modelChanged.warning.line2":"ನೆಲೆ ತನ್ನಡೆತದಿಂದ ಅಡಕವಾಗಬಹುದು","localConversation.modelRerouted":"ನಿಮ್ಮ ಕೋರಿಕೆಯನ್ನು {toModel} ಗೆ ಕಳುಹಿಸಲಾಗಿದೆ.","localConversation.modelRerouted.warning.line1":"ಗಮನಿಸಿ, ಸೈಬರ್‌ ತಪ್ಪುಬಳಕೆ ಕೇಡನ್ನು ಕಡಿಮೆಮಾಡಲು ನಿಮ್ಮ ಕೋರಿಕೆಯನ್ನು ಬೇರೆಡೆ ಕಳುಹಿಸಲಾಗಿದೆ.","localConversation.modelRerouted.warning.line2":"ಇದರಲ್ಲಿ ತಪ್ಪಾಗಿದೆ ಅನಿಸುತ್ತಿದೆಯೇ? ಇಲ್ಲಿ ಪರಿಶೀಲನೆಗಾಗಿ ಕೋರಿಕೊಳ್ಳಿ<link>chatgpt.com/cyber</link>ಇಲ್ಲವೇ /feedback ಮೂಲಕ ತಿಳಿಸಿ","localConversation.moveThread.createBranch.label":"ಕವಲು ಹುಟ್ಟುಹಾಕಿ","localConversation.moveToLocal.disabled.branchCheckedOut":"ಈ ಕವಲು ಈಗಾಗಲೇ ಬೇರೊಂದು ವರ್ಕ್‌ಟ್ರೀನಲ್ಲಿ ಚೆಕ್‌ಔಟ್‌ ಆಗಿದೆ","localConversation.moveToLocal.disabled.loading":"ಲೋಡ್ ಆಗುತ್ತಿದೆ...","localConversation.moveToLocal.disabled.missingSourceHead":"ವರ್ಕ್‌ಟ್ರೀ HEAD ಕಮಿಟ್‌ ಬಗೆಹರಿಸಲು ಆಗುತ್ತಿಲ್ಲ","localConversation.moveToLocal.disabled.noWorkspace":"ಈ ವರ್ಕ್‌ಟ್ರೀಗೆ ಯಾವುದೇ ಸ್ಥಳೀಯ ಕಾರ್ಯಕ್ಷೇತ್ರ ದೊರೆಯಲಿಲ್ಲ","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"ಈಗ ಕದಲಿಸಲು ಆಗುತ್ತಿಲ್ಲ. ಸ್ಥಳೀಯ ಕಾರ್ಯಕ್ಷೇತ್ರ ಸ್ಥಿತಿ ಪರಿಶೀಲಿಸಿ ಮತ್ತೊಮ್ಮೆ ಪ್ರಯತ್ನಿಸಿ.","localConversation.moveToLocal.error.rollbackIssues":"ಹಿಮ್ಮರಳಿಕೆ ತೊಡಕುಗಳು: {issues}","localConversation.moveToLocal.label":"ಸ್ಥಳೀಯಕ್ಕೆ ಕದಲಿಸಿ","localConversation.moveToLocal.loading.subtitle":"ನಿಮ್ಮ ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳನ್ನು ಸ್ಥಳೀಯಕ್ಕೆ ಕದಲಿಸಲಾಗುತ್ತಿದೆ...","localConversation.moveToLocal.loading.title":"ಸ್ಥಳೀಯಕ್ಕೆ ಕದಲಿಸಲಾಗುತ್ತಿದೆ","localConversation.moveToLocal.modal.continue":"ಮುಂದುವರಿಸಿ","localConversation.moveToLocal.modal.destinationLabel":"ಇಲ್ಲಿಗೆ ಕದಲಿಸಿ","localConversation.moveToLocal.modal.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.moveToLocal.modal.subtitle":"ಈ ವರ್ಕ್‌ಟ್ರೀ ಕವಲು ಮತ್ತು ಕಮಿಟ್‌ ಆಗದ ಮಾರ್ಪಾಡುಗಳನ್ನು ನಿಮ್ಮ ಸ್ಥಳೀಯ ಚೆಕ್‌ಔಟ್‌ಗೆ ಕದಲಿಸಲಾಗುವುದು.","localConversation.moveToLocal.modal.title":"ಸ್ಥಳೀಯಕ್ಕೆ ಕದಲಿಸಿ","localConversation.moveToWorktree.error.branchRequired":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು ಹೆಸರು ಬೇಕಾಗಿದೆ","localConversation.moveToWorktree.error.createWorktree":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಲು ಆಗಲಿಲ್ಲ: {message}","localConversation.moveToWorktree.error.move":"ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಲು ಆಗಲಿಲ್ಲ: {message}","localConversation.moveToWorktree.error.prepareBranch":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು “{branch}” ಅನ್ನು ಅಣಿಗೊಳಿಸಲು ಆಗಲಿಲ್ಲ: {message}","localConversation.moveToWorktree.error.rollbackIssues":"ಹಿಮ್ಮರಳಿಕೆ ತೊಡಕುಗಳು: {issues}","localConversation.moveToWorktree.error.unknown":"ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಲು ಆಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.moveToWorktree.label":"ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಿ","localConversation.moveToWorktree.loading.subtitle":"ನಿಮ್ಮ ವರ್ಕ್‌ಟ್ರೀ ನೆಲೆಗೊಳಿಸಲಾಗುತ್ತಿದೆ ಹಾಗೂ ಸ್ಥಳೀಯ ಮಾರ್ಪಾಡುಗಳನ್ನು ಕದಲಿಸಲಾಗುತ್ತಿದೆ...","localConversation.moveToWorktree.loading.title":"ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಲಾಗುತ್ತಿದೆ","localConversation.moveToWorktree.modal.back":"ಹಿಂದಕ್ಕೆ","localConversation.moveToWorktree.modal.branchAlreadyExists":"ಕವಲು ಈಗಾಗಲೇ ಇದೆ.","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ಕವಲು ಈಗಾಗಲೇ ಇದೆ.","localConversation.moveToWorktree.modal.branchesError":"ಕವಲುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ","localConversation.moveToWorktree.modal.branchesLoading":"ಕವಲುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","localConversation.moveToWorktree.modal.branchesRetry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.moveToWorktree.modal.continue":"ಮುಂದುವರಿಸಿ","localConversation.moveToWorktree.modal.defaultBranchError":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು, ಮೊದಲಾಯ್ಕೆಯ ಕವಲಿಗಿಂತ ಬೇರೆಯಾಗಿರಬೇಕು.","localConversation.moveToWorktree.modal.localBranchLabel":"ಸ್ಥಳೀಯ ಕವಲು","localConversation.moveToWorktree.modal.localBranchPlaceholder":"ಸ್ಥಳೀಯ ಚೆಕ್ಔಟ್ ಕವಲು ಆರಿಸಿ","localConversation.moveToWorktree.modal.noTargetBranch":"ಬೇರೆ ಸ್ಥಳೀಯ ಕವಲುಗಳು ದೊರೆಯುತ್ತಿಲ್ಲ","localConversation.moveToWorktree.modal.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.moveToWorktree.modal.subtitle":"ಈ ಕವಲು ಮತ್ತು ಎಲ್ಲಾ ಕಮಿಟ್‌ ಆಗದ ಮಾರ್ಪಾಡುಗಳನ್ನು ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಲಾಗುವುದು. ಬೇರೆ ಕವಲನ್ನು ಸ್ಥಳೀಯವಾಗಿ ಅದರ ಜಾಗದಲ್ಲೇ ನೀವು ಚೆಕ್‌ಔಟ್‌ ಮಾಡಬೇಕು.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"ಈ ಥ್ರೆಡ್‌ಗೆ Codex ಹೊಸ ವರ್ಕ್‌ಟ್ರೀ ಅನ್ನು ಹುಟ್ಟುಹಾಕುತ್ತದೆ.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು ಹೆಸರು ಆಯ್ಕೆಮಾಡಿ. ಮೊದಲಾಯ್ಕೆಯ ಕವಲಿಗೆ ಮಾರ್ಪಾಗಿ Codex ಇದನ್ನು ಬಳಸುತ್ತದೆ.","localConversation.moveToWorktree.modal.subtitle.loading":"ಈಗಾಗಲೇ ಇರುವ ವರ್ಕ್‌ಟ್ರೀಗಾಗಿ ಹುಡುಕಲಾಗುತ್ತಿದೆ...","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"ಈ ಕವಲನ್ನು ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಲಾಗುವುದು. ನಿಮ್ಮ ಈಗಿನ ಸ್ಥಳೀಯ ಕವಲು ಚೆಕ್‌ಔಟ್‌ ಆಗಿಯೇ ಉಳಿಯುತ್ತದೆ.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"ಈ ಥ್ರೆಡ್‌ಗೆ Codex ಈಗ ಇರುವ ವರ್ಕ್‌ಟ್ರೀ ಅನ್ನು ಮತ್ತೆ ಬಳಸುತ್ತದೆ.","localConversation.moveToWorktree.modal.title":"ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಿ","localConversation.moveToWorktree.modal.trailingSlashError":"ಕವಲಿನ ಹೆಸರು “/” ನೊಂದಿಗೆ ಕೊನೆಯಾಗುವಂತಿಲ್ಲ.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು ಹೆಸರು","localConversation.moveToWorktree.modal.worktreeBranchLabel":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ಹೊಸ ಕವಲು","localConversation.personalityChanged":"{personality} ವ್ಯಕ್ತಿತ್ವಕ್ಕೆ ಮಾರ್ಪಡಿಸಲಾಗಿದೆ","localConversation.planSummary.collapse":"ಯೋಜನೆಯ ಸಾರಾಂಶವನ್ನು ಕುಗ್ಗಿಸಿ","localConversation.planSummary.collapseTooltip":"ಕುಸಿತ","localConversation.planSummary.download":"ಪ್ಲಾನ್‌ ಡೌನ್‌ಲೋಡ್‌ ಮಾಡಿ","localConversation.planSummary.expand":"ಯೋಜನೆಯ ಸಾರಾಂಶವನ್ನು ವಿಸ್ತರಿಸಿ","localConversation.planSummary.expandTooltip":"ಹಿಗ್ಗಿಸಿ","localConversation.planSummary.openInNewWindow":"ತೆರೆಯಿರಿ","localConversation.planSummary.openInNewWindow.tooltip":"ಹೊಸ ವಿಂಡೋದಲ್ಲಿ ತೆರೆಯಿರಿ","localConversation.planSummary.title":"ಯೋಜನೆ","localConversation.planSummary.titleWriting":"ಬರೆಯುವ ಪ್ಲಾನ್","localConversation.planSummary.viewPlan":"ಪ್ಲಾನ್ ಹಿಗ್ಗಿಸಿ","localConversation.previousMessagesSummary":"{count, plural, one {# ಹಿಂದಿನ ಸಂದೇಶ} other {# ಹಿಂದಿನ ಸಂದೇಶಗಳು}}","localConversation.remoteTaskCreated":"ಕೋಡೆಕ್ಸ್‌ ಕ್ಲೌಡ್‌ನಲ್ಲಿ {taskLink} ಅನ್ನು ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಗಿದೆ","localConversation.remoteTaskCreated.task":"ಟಾಸ್ಕ್","localConversation.scrollToBottomButton":"ಕೆಳಗೆ ಸ್ಕ್ರಾಲ್ ಮಾಡಿ","localConversation.sync.buttonLabel":"ಸ್ಥಳೀಯರಿಗೆ ಹಸ್ತಾಂತರಿಸಿ","localConversation.sync.buttonLabel.tooltip":"ಈ ವರ್ಕ್‌ಟ್ರೀ ಮತ್ತು ನಿಮ್ಮ ಸ್ಥಳೀಯ ಚೆಕ್‌ಔಟ್‌ ನಡುವಿನ ಮಾರ್ಪಾಡುಗಳನ್ನು ಕೊಡಿ.","localConversation.sync.modal.loading.title":"ಬದಲಾವಣೆಗಳನ್ನು ಹಸ್ತಾಂತರಿಸಲಾಗುತ್ತಿದೆ...","localConversation.sync.modal.noChanges":"ಯಾವುದೇ ಚೇಂಜಸ್ ಇಲ್ಲ","localConversation.syncSetup.branchAriaLabel":"ಬ್ರಾಂಚ್ ಹೆಸರು","localConversation.syncSetup.branchName":"ಬ್ರಾಂಚ್ ಹೆಸರು","localConversation.syncSetup.branchPlaceholder.existing":"ಈಗ ಇರುವ ಕವಲನ್ನು ಆರಿಸಿ","localConversation.syncSetup.branchPlaceholder.new":"ಕೋಡೆಕ್ಸ್‌/ಹೊಸ-ಫೀಚರ್‌","localConversation.syncSetup.branchesLoading":"ಕವಲುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ಈಗಾಗಲೇ ಚೆಕ್‌ ಔಟ್‌ ಆಗಿದೆ","localConversation.syncSetup.checkoutClean":"ಈಗ {branchName} ನಲ್ಲಿದ್ದೇವೆ","localConversation.syncSetup.checkoutDirty":"ಕಮಿಟ್‌ ಆಗದ ಮಾರ್ಪಾಡುಗಳೊಂದಿಗೆ ಈಗ {branchName} ನಲ್ಲಿದೆ","localConversation.syncSetup.checkoutError":"ಶಾಖೆಯನ್ನು ಪರಿಶೀಲಿಸಲು ವಿಫಲವಾಗಿದೆ: {message}","localConversation.syncSetup.checkoutLabel":"ಈಗಲೇ ಸ್ಥಳೀಯವಾಗಿ ಚೆಕ್‌ಔಟ್‌ ಮಾಡಿ","localConversation.syncSetup.checkoutOnLocal":"ಸ್ಥಳೀಯರಿಗೆ ಹಸ್ತಾಂತರಿಸಿ","localConversation.syncSetup.checkoutPending":"ಸ್ಥಳೀಯ ಸ್ಥಿತಿ ನೋಡಲಾಗುತ್ತಿದೆ...","localConversation.syncSetup.checkoutUnavailable":"ಸ್ಥಳೀಯ ಕಾರ್ಯಕ್ಷೇತ್ರ ದೊರೆಯುತ್ತಿಲ್ಲ","localConversation.syncSetup.checkoutUnknown":"ಸ್ಥಳೀಯ ಕವಲು ದೊರೆಯುತ್ತಿಲ್ಲ","localConversation.syncSetup.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","localConversation.syncSetup.createBranchError":"ಹ್ಯಾಂಡಾಫ್ ಶಾಖೆಯನ್ನು ಹೊಂದಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ: {message}","localConversation.syncSetup.error":"ಏನೋ ತಪ್ಪಾಗಿದೆ: {message}","localConversation.syncSetup.error.workingTreeMissing":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಸ್ನ್ಯಾಪ್‌ಶಾಟ್ ಮಾಡಲು ಸಾಧ್ಯವಾಗುತ್ತಿಲ್ಲ. ದಯವಿಟ್ಟು ಹಸ್ತಾಂತರಿಸಲು ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.syncSetup.mode.ariaLabel":"ಕವಲು ಮೋಡ್‌ ಆರಿಸಿ","localConversation.syncSetup.mode.existing":"ಈಗ ಇರುವ ಕವಲು","localConversation.syncSetup.mode.new":"ಹೊಸ ಕವಲು","localConversation.syncSetup.noBranches":"ಕವಲುಗಳು ಕಂಡುಬಂದಿಲ್ಲ","localConversation.syncSetup.overwriteError":"ಶಾಖೆಯನ್ನು ರಚಿಸಲಾಗಿದೆ ಆದರೆ ಸಂಪೂರ್ಣವಾಗಿ ಹಸ್ತಾಂತರಿಸಲಾಗಿಲ್ಲ. ಸ್ಥಳೀಯವಾಗಿ ಪರಿಶೀಲಿಸುವ ಮೊದಲು ಹಸ್ತಾಂತರಿಸಿ.","localConversation.syncSetup.setPrefix":"ಮುನ್ನೊಟ್ಟು ಹೊಂದಿಸಿ","localConversation.syncSetup.subtitle":"ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳನ್ನು ಸ್ಥಳೀಯವಾಗಿ ಒರೆಹಚ್ಚಿ ಮತ್ತು ತಿದ್ದಿ. <a>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</a>","localConversation.syncSetup.success.checkedOut":"ಕವಲನ್ನು ಹುಟ್ಟುಹಾಕಲಾಗಿದೆ ಮತ್ತು ಅದನ್ನು ಸ್ಥಳೀಯವಾಗಿ ಚೆಕ್‌ಔಟ್‌ ಮಾಡಲಾಗಿದೆ","localConversation.syncSetup.success.notCheckedOut":"ಶಾಖೆ ರಚಿಸಲಾಗಿದೆ","localConversation.syncSetup.title":"ಸ್ಥಳೀಯ ಶಾಖೆಗೆ ಹಸ್ತಾಂತರಿಸಿ","localConversation.syncWorktreeError.branchAriaLabel":"ಬ್ರಾಂಚ್ ಹೆಸರು","localConversation.syncWorktreeError.branchPlaceholder.new":"ಕೋಡೆಕ್ಸ್‌/ಹೊಸ-ಫೀಚರ್‌","localConversation.syncWorktreeError.branchSetup.subtitle":"ಹಸ್ತಾಂತರಿಸಲು ಶಾಖೆಯನ್ನು ಆರಿಸಿ, ನಂತರ ಬದಲಾವಣೆಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeError.branchSetup.title":"ಬ್ರಾಂಚ್ ಅಪ್ಡೇಟ್ ಮಾಡಿ","localConversation.syncWorktreeError.branchUpdate.cta":"ನವೀಕರಿಸಿ ಮತ್ತು ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.syncWorktreeError.branchUpdate.error":"ಬ್ರಾಂಚ್ ನವೀಕರಿಸಲು ವಿಫಲವಾಗಿದೆ: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"ಏನೋ ತಪ್ಪಾಗಿದೆ: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ಬ್ರಾಂಚ್ ಯಾವುದೇ ವರ್ಕ್‌ಟ್ರಿಯಲ್ಲಿ ಚೆಕ್‌ಔಟ್ ಆಗಿಲ್ಲ.","localConversation.syncWorktreeV2.applyUncommitted":"ಅಪ್ಲೈ ಮಾಡಿ","localConversation.syncWorktreeV2.applyUncommitted.disabled":"ಕಮಿಟ್‌ ಆಗದ ಮಾರ್ಪಾಡುಗಳನ್ನು ಹಚ್ಚಲು ನೀವು ಕವಲನ್ನು ಸ್ಥಳೀಯವಾಗಿ ಚೆಕ್‌ಔಟ್‌ ಮಾಡಬೇಕು","localConversation.syncWorktreeV2.branches.empty":"ಕವಲುಗಳು ಕಂಡುಬಂದಿಲ್ಲ","localConversation.syncWorktreeV2.branches.loading":"ಕವಲುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"ಹಸ್ತಾಂತರ ಬ್ರಾಂಚ್ ಬದಲಾಯಿಸಿ","localConversation.syncWorktreeV2.changeBranch.error":"ಹಸ್ತಾಂತರ ಬ್ರಾಂಚ್ ಬದಲಾಯಿಸಲು ವಿಫಲವಾಗಿದೆ: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"ಹಚ್ಚಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"ವರ್ಕ್‌ಟ್ರೀ ತಿದ್ದಿಬರೆಯಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ಸ್ಥಳೀಯ ತಿದ್ದಿಬರೆಯಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.commandError.back":"ಹಿಂದಕ್ಕೆ","localConversation.syncWorktreeV2.commandError.body":"ಹಸ್ತಾಂತರಿಸುವಾಗ ಒಂದು ಗಿಟ್ ಆಜ್ಞೆ ವಿಫಲವಾಗಿದೆ. ಔಟ್‌ಪುಟ್ ಪರಿಶೀಲಿಸಿ ಮತ್ತು ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeV2.commandError.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.syncWorktreeV2.description":"ಸ್ಥಳೀಯ ಮತ್ತು ಈ ವರ್ಕ್‌ಟ್ರಿಯ ನಡುವಿನ ಬದಲಾವಣೆಗಳನ್ನು ಹಸ್ತಾಂತರಿಸಿ <a>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"ಹಸ್ತಾಂತರ ದಿಕ್ಕನ್ನು ಆಯ್ಕೆಮಾಡಿ","localConversation.syncWorktreeV2.error.generic":"ಹಸ್ತಾಂತರ ಮಾಡುವಾಗ ಏನೋ ತಪ್ಪಾಗಿದೆ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeV2.localBranchLabel":"ಸ್ಥಳೀಯ","localConversation.syncWorktreeV2.noChanges":"ಬದಲಾವಣೆಗಳನ್ನು ಲೆಕ್ಕಹಾಕಲಾಗುತ್ತಿದೆ","localConversation.syncWorktreeV2.noChanges.summary":"ಯಾವುದೇ ಚೇಂಜಸ್ ಇಲ್ಲ","localConversation.syncWorktreeV2.overwrite.local":"ಸ್ಥಳೀಯ ತಿದ್ದಿಬರೆಯಿರಿ","localConversation.syncWorktreeV2.overwrite.worktree":"ವರ್ಕ್‌ಟ್ರೀ ತಿದ್ದಿಬರೆಯಿರಿ","localConversation.syncWorktreeV2.partial.action.applyFailed":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಬಳಸಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ಸ್ಥಳೀಯ ಮಾರ್ಪಾಡುಗಳನ್ನು ತಿದ್ದಿಬರೆಯಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳನ್ನು ತಿದ್ದಿಬರೆಯಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.partial.appliedLabel":"ಬಳಸಲಾಗಿದೆ","localConversation.syncWorktreeV2.partial.back":"ಹಿಂದಕ್ಕೆ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"ತಿಕ್ಕಾಟಗಳನ್ನು ಬಗೆಹರಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeV2.partial.conflictsLabel":"ತಿಕ್ಕಾಟಗಳು","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}}","localConversation.syncWorktreeV2.partial.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.syncWorktreeV2.partial.skippedLabel":"ಬಿಟ್ಟುಬಿಡಲಾಯಿತು","localConversation.syncWorktreeV2.stateFailed.generic":"ಹಸ್ತಾಂತರ ಮಾಡಲು ವರ್ಕ್‌ಟ್ರಿಯ ಬದಲಾವಣೆಗಳನ್ನು ಪಡೆಯುವಾಗ ಏನೋ ತಪ್ಪಾಯಿತು. ದಯವಿಟ್ಟು ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeV2.stateFailed.title":"ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.statusError.diffUnknown":"ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","localConversation.syncWorktreeV2.statusError.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.syncWorktreeV2.statusError.title":"ಸ್ಥಳೀಯ ಬ್ರಾಂಚ್ ಬದಲಾವಣೆಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಸಾಧ್ಯವಾಗುತ್ತಿಲ್ಲ","localConversation.syncWorktreeV2.statusError.unknown":"ಬ್ರಾಂಚ್ ಸ್ಥಿತಿ ಈ ಸಮಯದಲ್ಲಿ ಲಭ್ಯವಿಲ್ಲ. ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeV2.success.apply":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಯಶಸ್ವಿಯಾಗಿ ಹಚ್ಚಲಾಗಿದೆ","localConversation.syncWorktreeV2.success.overwrite":"ಹಸ್ತಾಂತರ ಯಶಸ್ವಿಯಾಗಿದೆ","localConversation.syncWorktreeV2.title":"ಬದಲಾವಣೆಗಳನ್ನು ಹಸ್ತಾಂತರಿಸಿ","localConversation.syncWorktreeV2.worktreeLabel":"ವರ್ಕ್‌ಟ್ರೀ","localConversation.userInputRequest.inProgress":"{count, plural, one {ಪ್ರಶ್ನೆ} other {ಪ್ರಶ್ನೆಗಳು}} ಕೇಳಲಾಗುತ್ತಿದೆ","localConversation.userInputRequest.noAnswer":"ಯಾವುದೇ ಉತ್ತರ ಒದಗಿಸಲಾಗಿಲ್ಲ","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"ಕೇಳಲಾಗಿದೆ","localConversation.userInputRequest.summary.count":"{count, plural, one {# ಪ್ರಶ್ನೆ} other {# ಪ್ರಶ್ನೆಗಳು}}","localConversation.workedFor":"{time} ಕ್ಕೆ ಕೆಲಸ ಮಾಡಿದೆ","localConversation.worktreeBranchSetup.action.create":"ಕ್ರಿಯೇಟ್ ಮಾಡಿ","localConversation.worktreeBranchSetup.branchAriaLabel":"ಬ್ರಾಂಚ್ ಹೆಸರು","localConversation.worktreeBranchSetup.branchPlaceholder.new":"ಹೊಸ ಬ್ರಾಂಚ್‌ ಹುಟ್ಟುಹಾಕಿ","localConversation.worktreeBranchSetup.checkoutDisabled":"ಈ ಕವಲು {location} ನಲ್ಲಿ ಈಗಾಗಲೇ ಚೆಕ್‌ಔಟ್‌ ಆಗಿದೆ","localConversation.worktreeBranchSetup.checkoutError":"ಶಾಖೆಯನ್ನು ಪರಿಶೀಲಿಸಲು ವಿಫಲವಾಗಿದೆ: {message}","localConversation.worktreeBranchSetup.createBranchError":"ಬ್ರಾಂಚ್ ಅನ್ನು ಹೊಂದಿಸಲು ವಿಫಲವಾಗಿದೆ: {message}","localConversation.worktreeBranchSetup.error":"ಏನೋ ತಪ್ಪಾಗಿದೆ: {message}","localConversation.worktreeBranchSetup.subtitle":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಲು ಕವಲು ಹುಟ್ಟುಹಾಕಿ, ಪುಶ್ ಮಾಡಿ ಮತ್ತು ಈ ವರ್ಕ್‌ಟ್ರೀನಿಂದ PR ಹುಟ್ಟುಹಾಕಿ. <a>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</a>","localConversation.worktreeBranchSetup.title":"ಇಲ್ಲಿ ಕೆಲಸ ಮಾಡಿ","localConversationPage.addWorktreeToSidebar.tooltip":"ಈ ವರ್ಕ್‌ಟ್ರೀನಿಂದ ಹೊಸ ಥ್ರೆಡ್‌ಗಳನ್ನು ನೀವು ಆರಂಭಿಸುವಂತಾಗಲು ಪ್ರಾಜೆಕ್ಟ್‌ ಆಗಿ ಉಳಿಸಿ","localConversationPage.addWorktreeToSidebarError":"ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಲು ಆಗಲಿಲ್ಲ","localConversationPage.commitAndCreatePrModal.errorTitle":"ಕಮಿಟ್‌ ಮತ್ತು PR ಹುಟ್ಟುಹಾಕುವುದು ಆಗಲಿಲ್ಲ","localConversationPage.commitAndCreatePrModal.successTitle":"ಕಮಿಟ್‌ ಮಾಡಲಾಗಿದೆ ಮತ್ತು PR ಹುಟ್ಟುಹಾಕಲಾಗಿದೆ","localConversationPage.commitAndPushModal.errorTitle":"ಕಮಿಟ್‌ ಮತ್ತು ಪುಶ್ ಆಗಲಿಲ್ಲ","localConversationPage.commitAndPushModal.successTitle":"ಕಮಿಟ್‌ ಮಾಡಲಾಗಿದೆ ಮತ್ತು ಮಾರ್ಪಾಡುಗಳನ್ನು ಪುಶ್ ಮಾಡಲಾಗಿದೆ","localConversationPage.commitCreatePr.open":"ಪುಲ್ ವಿನಂತಿಯನ್ನು ತೆರೆಯಿರಿ","localConversationPage.commitCreatePr.successTitle":"ನಿಮ್ಮ ಇತ್ತೀಚಿನ ಮಾರ್ಪಾಡುಗಳೊಂದಿಗೆ PR ಹುಟ್ಟುಹಾಕಲಾಗಿದೆ","localConversationPage.createBranchButtonLabel":"ಇಲ್ಲಿ ಕವಲೊಡೆಸಿ","localConversationPage.createPrModal.baseBranch":"ಬುಡ","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR ಅನ್ನು ಕ್ರಿಯೇಟ್ ಮಾಡಿ","localConversationPage.createPrModal.createDescription":"ನಿಮ್ಮ ಇತ್ತೀಚಿನ ಮಾರ್ಪಾಡುಗಳಿಗೆ ಪುಲ್‌ ಕೋರಿಕೆ ತೆರೆಯಿರಿ.","localConversationPage.createPrModal.errorTitle":"ಪುಲ್‌ ಕೋರಿಕೆ ಸೋತಿದೆ","localConversationPage.createPrModal.headBranch":"ತಲೆ","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR ತೆರೆಯಿರಿ","localConversationPage.createPrModal.successTitle":"ಪುಲ್ ಕೋರಿಕೆ ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಯಿತು","localConversationPage.createPrModal.title":"ಪುಲ್ ಕೋರಿಕೆ ಹುಟ್ಟುಹಾಕಿ","localConversationPage.createPrModal.viewDescription":"ಈ ಕವಲಿಗೆ ಪುಲ್‌ ಕೋರಿಕೆ ಆಗಲೇ ಇದೆ.","localConversationPage.createPrModal.viewTitle":"ಪುಲ್‌ ಕೋರಿಕೆ ಅಣಿಯಾಗಿದೆ","localConversationPage.createPullRequestAuthGh":"GitHub CLI ದೃಢೀಕರಿಸಿ: `gh auth login`ಮಾಡಿ","localConversationPage.createPullRequestBranchMissing":"ಬ್ರಾಂಚ್ ಮಾಹಿತಿ ದೊರೆಯುತ್ತಿಲ್ಲ","localConversationPage.createPullRequestButtonLabel":"PR ಅನ್ನು ಕ್ರಿಯೇಟ್ ಮಾಡಿ","localConversationPage.createPullRequestButtonLabel.loading":"PR ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ...","localConversationPage.createPullRequestDefaultBranchMissing":"ಡಿಫಾಲ್ಟ್ ಬ್ರಾಂಚ್ ಮಾಹಿತಿ ದೊರೆಯುತ್ತಿಲ್ಲ","localConversationPage.createPullRequestError":"ಪುಲ್ ಕೋರಿಕೆ ಕ್ರಿಯೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","localConversationPage.createPullRequestExistingPullRequest":"ಈ ಕವಲಿಗೆ ಪುಲ್‌ ಕೋರಿಕೆ ಆಗಲೇ ಇದೆ","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI ಸ್ಥಿತಿ ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","localConversationPage.createPullRequestInstallGh":"PR ಗಳನ್ನು ಕ್ರಿಯೇಟ್ ಮಾಡಲು GitHub CLI (gh) ಇನ್ಸ್ಟಾಲ್ ಮಾಡಿ","localConversationPage.createPullRequestNoRepo":"git ರಿಪಾಸಿಟರಿ ಕಂಡುಬಂದಿಲ್ಲ","localConversationPage.createPullRequestPushStatusMissing":"ನೂಕುವಿಕೆ‌ ಸ್ಥಿತಿ ಲೋಡ್ ಆಗುತ್ತಿದೆ...","localConversationPage.createPullRequestSetUpstream":"PR ಹುಟ್ಟುಹಾಕುವ ಮುನ್ನ ಈ ಕವಲನ್ನು ನೂಕಿ","localConversationPage.createPullRequestSuccessToast":"ಪುಲ್ ಕೋರಿಕೆ ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಯಿತು","localConversationPage.createPullRequestSwitchBranch":"PR ಹುಟ್ಟುಹಾಕುವ ಮುನ್ನ ಫೀಚರ್‌ ಕವಲು ಆಯ್ಕೆಗುರುತು ತೆಗೆದುಹಾಕಿ","localConversationPage.error.render":"ಸ್ಥಳೀಯ ಕಾನ್ವರ್ಸೆಷನ್ ಅನ್ನು ರೆಂಡರ್‌ ಮಾಡುವಾಗ ತಪ್ಪಾಗಿದೆ","localConversationPage.error.toast":"ಕಾನ್ವರ್ಸೆಷನ್ ಕಂಡುಬಂದಿಲ್ಲ","localConversationPage.forcePushError":"ಒತ್ತಾಯದ ನೂಕುವಿಕೆ ಆಗಲಿಲ್ಲ","localConversationPage.generatePullRequestMessageError":"ಪುಲ್ ಕೋರಿಕೆಯ ಶೀರ್ಷಿಕೆ ಮತ್ತು ವಿವರವನ್ನು ರಚಿಸಲು ವಿಫಲವಾಗಿದೆ","localConversationPage.generatePullRequestMessageFailed":"ಪುಲ್ ಕೋರಿಕೆಯ ಶೀರ್ಷಿಕೆ ಮತ್ತು ವಿವರವನ್ನು ರಚಿಸಲು ವಿಫಲವಾಗಿದೆ.","localConversationPage.gitActionResult.branch":"ಬ್ರಾಂಚ್","localConversationPage.gitActionResult.cancel":"ರದ್ದುಮಾಡಿ","localConversationPage.gitActionResult.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","localConversationPage.gitActionResult.tryAgain":"ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ","localConversationPage.gitActions":"Git ಆಕ್ಶನ್‌ಗಳು","localConversationPage.newChat":"ಹೊಸ ಚಾಟ್","localConversationPage.openInTarget":"ಇದರಲ್ಲಿ ತೆರೆಯಿರಿ","localConversationPage.openPrimaryTarget":"ತೆರೆಯಿರಿ","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# ಟಾಸ್ಕ್ ಪೂರ್ಣಗೊಂಡಿದೆ} other {# ಟಾಸ್ಕ್ ಗಳು ಪೂರ್ಣಗೊಂಡಿದೆ}} ರಲ್ಲಿ {completedItems}","localConversationPage.pushAuthError":"ನೂಕುವಿಕೆ ಆಗಲಿಲ್ಲ: ಪ್ರಮಾಣೀಕರಣ ಬೇಕಾಗಿದೆ","localConversationPage.pushBranchMissing":"ಬ್ರಾಂಚ್ ಮಾಹಿತಿ ದೊರೆಯುತ್ತಿಲ್ಲ","localConversationPage.pushButtonLabel":"ಪುಶ್","localConversationPage.pushButtonLabel.loading":"ನೂಕಲಾಗುತ್ತಿದೆ...","localConversationPage.pushError":"ಚೇಂಜಸ್ ಅನ್ನು ಪುಶ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","localConversationPage.pushModal.branchLabel":"ಬ್ರಾಂಚ್","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"ರದ್ದುಮಾಡಿ","localConversationPage.pushModal.confirm":"ಪುಶ್","localConversationPage.pushModal.description":"ನಿಮ್ಮ ಇತ್ತೀಚಿನ ಕಮಿಟ್‌ಗಳನ್ನು ದೂರದ ರಿಪಾಸಿಟರಿಗೆ ಪುಶ್ ಮಾಡಿ.","localConversationPage.pushModal.errorTitle":"ಪುಶ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","localConversationPage.pushModal.forcePush":"ಒತ್ತಾಯದ ಪುಶ್","localConversationPage.pushModal.successTitle":"ಪುಶ್ ಮುಗಿದಿದೆ","localConversationPage.pushModal.title":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಪುಶ್ ಮಾಡಿ","localConversationPage.pushModal.tryAgain":"ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ","localConversationPage.pushNoUpstream":"ಈ ಕವಲನ್ನು ನೂಕುವ ಮುನ್ನ ಅಪ್‌ಸ್ಟ್ರೀಮ್‌ ಇರಿಸಿ","localConversationPage.pushNoUpstreamError":"ಪುಶ್ ಆಗಲಿಲ್ಲ: ಅಪ್‌ಸ್ಟ್ರೀಮ್‌ ಅಟ್ಟಣಿಸಿಲ್ಲ","localConversationPage.pushNothingToPush":"ನೂಕಲು ಹೊಸ ಕಮಿಟ್‌ಗಳಿಲ್ಲ","localConversationPage.pushRemoteChangedError":"ಪುಶ್ ಆಗಲಿಲ್ಲ: ರಿಮೋಟ್‌ ಹೊಸ ಕಮಿಟ್‌ಗಳನ್ನು ಹೊಂದಿದೆ","localConversationPage.pushRemoteRejectedError":"ಪುಶ್ ರಿಮೋಟ್‌ನಿಂದ ತಳ್ಳಿಹಾಕಲ್ಪಟ್ಟಿದೆ","localConversationPage.pushStatusMissing":"ಪುಶ್‌ ಸ್ಥಿತಿ ಲೋಡ್ ಆಗುತ್ತಿದೆ...","localConversationPage.pushSuccessToast":"ಮಾರ್ಪಾಡುಗಳನ್ನು ನೂಕಲಾಗಿದೆ","localConversationPage.viewPullRequestButtonLabel":"PRಅನ್ನು ವೀಕ್ಷಿಸಿ","localConversationPage.viewPullRequestButtonLabel.loading":"ಪುಲ್ ವಿನಂತಿಯನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# ಪಟ್ಟಿ} other {# ಪಟ್ಟಿಗಳು}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# ಹುಡುಕಾಟ} other {# ಹುಡುಕಾಟಗಳು}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"ಎಕ್ಸ್ಪ್ಲೋರ್ ಮಾಡಿ ನೋಡಲಾಗುತ್ತಿದೆ","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"ಎಕ್ಸ್ಪ್ಲೋರ್ ಮಾಡಿ ನೋಡಲಾಗಿದೆ","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} ಬೆದಕಿನೋಡಲಾಗಿದೆ","localConversationTurnStory.showContent":"ಕಂಟೆಂಟ್ ಅನ್ನು ತೋರಿಸಿ","localConversationTurnStory.streamContent":"ಕಂಟೆಂಟ್ ಅನ್ನು ಸ್ಟ್ರೀಮ್ ಮಾಡಿ","localConversationTurnStory.toggleReasoning":"ತಾರ್ಕಿಕತೆಯನ್ನು ತೋರಿಸಿ","localTaskRow.archiveError":"ಕಾನ್ವರ್ಸೆಷನ್ ಅನ್ನು ಆರ್ಕೈವ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","localTaskRow.resumeError":"ಟಾಸ್ಕ್ ಮುಂದುವರಿಸಲು ಆಗಲಿಲ್ಲ","mermaidDiagram.ariaLabel":"ಮರ್‌ಮೇಡ್‌ ಚಿತ್ರ","mermaidDiagram.copySource":"ಮರ್‌ಮೇಡ್‌ ಕಾಪಿ ಮಾಡಿ","mermaidDiagram.originalCode":"ಮರ್‌ಮೇಡ್‌ ಸೋರ್ಸ್‌ ಕೋಡ್‌","notifications.permissions.description":"ನೋಟಿಫಿಕೇಶನ್‌ ಒಪ್ಪಿಗೆಗಳು ಬೇಕಾದಾಗ ಎಚ್ಚರಿಕೆಗಳನ್ನು ತೋರಿಸಿ","notifications.permissions.label":"ಒಪ್ಪಿಗೆ ನೋಟಿಫಿಕೇಶನ್‌ಗಳನ್ನು ಎನೇಬಲ್‌ ಮಾಡಿ","notifications.turnMode.always":"ಯಾವಾಗಲೂ","notifications.turnMode.description":"ಕೋಡೆಕ್ಸ್‌ ತನ್ನ ಕೆಲಸ ಮುಗಿಸಿದೆ ಎಂದು ನಿಮ್ಮನ್ನು ಎಚ್ಚರಿಸಿದಾಗ ಹೊಂದಿಸಲಾಗುತ್ತದೆ","notifications.turnMode.label":"ಟರ್ನ್‌ ಮುಕ್ತಾಯದ ನೋಟಿಫಿಕೇಶನ್‌ಗಳು","notifications.turnMode.off":"ಎಂದಿಗೂ ಇಲ್ಲ","notifications.turnMode.unfocused":"ಬರೀ ಗಮನವಿಲ್ಲದಾಗ","patchApprovalRequest.approve":"ಅಪ್ರೋವ್ ಮಾಡಿ","patchApprovalRequest.menu.allowAlways":"ಹೌದು, ಮತ್ತು ಈ ಸೆಷನ್‌ನಲ್ಲಿ ಪುನಃ ಕೇಳಬೇಡಿ","patchApprovalRequest.menu.allowForSession":"ಹೌದು, ಈ ಸೆಷನ್‌ನಲ್ಲಿ ಮತ್ತೊಮ್ಮೆ ಕೇಳಬೇಡಿ","patchApprovalRequest.menu.allowOnce":"ಹೌದು","patchApprovalRequest.prompt":"ನೀವು ಈ ಬದಲಾವಣೆಗಳನ್ನು ಮಾಡಲು ಬಯಸುತ್ತೀರಾ?","patchApprovalRequest.reject":"ಇಲ್ಲ","patchApprovalRequest.waitingForApproval":"ಫೈಲ್‌ಗಳನ್ನು ತಿದ್ದಲು ಅಪ್ರೂವಲ್ ಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ","pendingRequest.approvalExec.collapse":"ಕುಸಿತ","pendingRequest.approvalExec.expand":"ಹಿಗ್ಗಿಸಿ","pendingRequestStory.toastAnswer":"ಉತ್ತರ: {answer}","pendingRequestStory.toastApprovalTitle":"ಅನುಮೋದನೆ ಪ್ರತಿಕ್ರಿಯೆ","pendingRequestStory.toastFollowupPrompt":"ಪ್ರಾಂಪ್ಟ್: {prompt}","pendingRequestStory.toastFollowupTitle":"ಮುಂದುವರಿಕೆ ಕಳುಹಿಸಲಾಗಿದೆ","pendingRequestStory.toastNoAnswers":"ಯಾವುದೇ ಉತ್ತರಗಳನ್ನು ನೀಡಲಾಗಿಲ್ಲ","pendingRequestStory.toastQuestion":"ಪ್ರಶ್ನೆ: {question}","pendingRequestStory.toastUnknownDecision":"ತಿಳಿಯದ","pendingRequestStory.toastUserInputTitle":"ಸಲ್ಲಿಸಲಾದ ಉತ್ತರಗಳು","quickAction.request.codeReview.branches.new":"{to} ಹೋಲಿಕೆಯಲ್ಲಿ {from} ಮೇಲಿನ ಚೇಂಜಸ್ ಅನ್ನು ರಿವ್ಯೂ ಮಾಢಿ","quickAction.request.codeReview.uncommitted.new":"ನನ್ನ ಕಮಿಟ್‌ ಮಾಡದ ಚೇಂಜಸ್ ಅನ್ನು ದಯವಿಟ್ಟು ರಿವ್ಯೂ ಮಾಡಿ","reasoningItem.thinking":"ಥಿಂಕ್ ಮಾಡುತ್ತಿದೆ","reasoningItem.thought":"ಯೋಚಿಸಿದೆ","reasoningItem.thoughtWithElapsed":"{elapsed} ಕ್ಕಾಗಿ ಯೋಚಿಸಲಾಗಿದೆ","recentConversations.title":"ಇತ್ತೀಚಿನ ಕಾನ್ವರ್ಸೇಷನ್ಸ್","recentTasks.worktreeInitFailedTitle":"ವರ್ಕ್‌ಟ್ರೀ ಇನಿಟ್‌ ಸೋತಿದೆ","recentTasks.worktreeSettingUpTitle":"ವರ್ಕ್‌ಟ್ರೀ ಹೊಂದಿಸಲಾಗುತ್ತಿದೆ","requestInputPanel.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","requestInputPanel.dismiss":"ತಳ್ಳಿಹಾಕಿ","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ಇಲ್ಲಿ ಟೈಪ್‌ ಮಾಡಿ","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"ಇಲ್ಲ, ಮತ್ತು ಕೋಡೆಕ್ಸ್‌ಗೆ ಬೇರೆ ರೀತಿಯಲ್ಲಿ ಏನು ಮಾಡಬೇಕೆಂದು ತಿಳಿಸಿ","requestInputPanel.selectedBadge":"ಆಯ್ಕೆಯಾದವರು","requestInputPanel.skip":"ಬಿಟ್ಟುಬಿಡಿ","requestInputPanel.submit":"ಸಬ್ಮಿಟ್ ಮಾಡಿ","review.commit.ariaLabel.includeUnstaged":"ಏರ್ಪಡಿಸಿಲ್ಲದ ಮಾರ್ಪಾಡುಗಳನ್ನು ಸೇರಿಸಿ","review.commit.buttonLabel":"ಕಮಿಟ್ ಮಾಡಿ","review.commit.disabled.committing":"ಕಮಿಟ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","review.commit.disabled.loadingDiff":"diff ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ…","review.commit.disabled.missingContext":"ಕಮಿಟ್ ಸಂದೇಶವನ್ನು ರಚಿಸಲು ಕೆಲವು ಹಿನ್ನೆಲೆಯನ್ನು ಸೇರಿಸಿ","review.commit.disabled.noChanges":"ಕಮಿಟ್‌ ಮಾಡಲು ಮಾರ್ಪಾಡುಗಳಿಲ್ಲ","review.commit.disabled.noSelection":"ಕಮಿಟ್‌ ಮಾಡಲು ಮಾರ್ಪಾಡುಗಳನ್ನು ಆರಿಸಿ","review.commit.disabled.unavailable":"ಈಗ ಕಮಿಟ್‌ ದೊರೆಯುತ್ತಿಲ್ಲ","review.commit.error":"ಚೇಂಜಸ್ ಅನ್ನು ಕಮಿಟ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ","review.commit.form.changesToBeCommitted":"ಚೇಂಜಸ್","review.commit.form.commitTo":"ಬ್ರಾಂಚ್","review.commit.form.commitTo.none":"-","review.commit.form.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","review.commit.form.title":"ನಿಮ್ಮ ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಿ","review.commit.generate.emptyResponse":"ಕಮಿಟ್ ಸಂದೇಶವನ್ನು ರಚಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ.","review.commit.generate.failed":"ಕಮಿಟ್ ಸಂದೇಶವನ್ನು ರಚಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ: {error}","review.commit.generate.missingPrompt":"ಕಮಿಟ್ ಸಂದೇಶವನ್ನು ರಚಿಸಲು ಕೆಲವು ಹಿನ್ನೆಲೆಯನ್ನು ಸೇರಿಸಿ.","review.commit.includeUnstaged":"ಏರ್ಪಡಿಸಿಲ್ಲದ ಮಾರ್ಪಾಡುಗಳನ್ನು ಸೇರಿಸಿ","review.commit.loading.description":"ತುಸು ಕಾಯಿರಿ, ಕೆಲವು ಗಳಿಗೆಗಳಲ್ಲಿ ಇದು ಮುಗಿಯುತ್ತದೆ","review.commit.loading.step.commit.done":"ಕಮಿಟ್‌ ಮಾಡಲಾದ ಚೇಂಜಸ್","review.commit.loading.step.commit.pending":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ","review.commit.loading.step.createPr.done":"ಪುಲ್ ಕೋರಿಕೆ ಹುಟ್ಟುಹಾಕಲಾಗಿದೆ","review.commit.loading.step.createPr.pending":"ಪುಲ್ ಕೋರಿಕೆ ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ","review.commit.loading.step.push.done":"ಕವಲು {branch} ಕ್ಕೆ ನೂಕಲಾಗಿದೆ","review.commit.loading.step.push.pending":"ಕವಲು {branch} ಕ್ಕೆ ನೂಕಲಾಗುತ್ತಿದೆ","review.commit.loading.title.commit":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ","review.commit.loading.title.createPr":"PR‌ ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ","review.commit.loading.title.push":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಪುಶ್ ಮಾಡಲಾಗುತ್ತಿದೆ","review.commit.messageLabel":"ಕಮಿಟ್‌ ಸಂದೇಶ","review.commit.messagePlaceholder":"ಕಮಿಟ್‌ ಸಂದೇಶ ತನ್ನಡೆತದಿಂದ ಉಂಟಾಗಲು ಬರಿದಾಗಿ ಬಿಡಿ","review.commit.nextSteps":"ಮುಂದಿನ ಹಂತಗಳು","review.commit.nextSteps.commit":"ಕಮಿಟ್ ಮಾಡಿ","review.commit.nextSteps.commitAndCreate":"ಕಮಿಟ್ ಮಾಡಿ‌ ಮತ್ತು PR ಹುಟ್ಟುಹಾಕಿ","review.commit.nextSteps.commitAndPush":"ಕಮಿಟ್ ಮಾಡಿ‌ ಮತ್ತು ನೂಕಿ","review.commit.nextSteps.prRequiresGh":"GitHub CLI ಬೇಕಾಗಿದೆ: {command}","review.commit.rows.changes":"ಚೇಂಜಸ್","review.commit.rows.commitCount":"{count, plural, one {# ಕಮಿಟ್‌} other {# ಕಮಿಟ್‌ಗಳು}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# ಕಮಿಟ್‌} other {# ಕಮಿಟ್‌ಗಳು}} ಮತ್ತು {stats}","review.commit.rows.fileCount":"{count, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}}","review.commit.state.error.body":"ಕಮಿಟ್‌ ಮಾಡುವಾಗ ಏನೊ ತಪ್ಪಾಗಿದೆ. ನಿಮ್ಮ git ಸ್ಥಿತಿ ನೋಡಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.","review.commit.state.error.title":"ಕಮಿಟ್‌ ಆಗಲಿಲ್ಲ","review.commit.state.success.title":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಲಾಗಿದೆ","review.commit.untracked.loadingStats":"ಜಾಡುಹಿಡಿಯದ diff ಅಂಕಿಅಂಶಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","reviewFindingAttachments.count":"{count, plural, one {# ಹುಡುಕುತ್ತಿದೆ} other {# ದೊರೆತಗಳು}}","settings.agent.configuration.configToml":"ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್ ನೀತಿಗಳನ್ನು","settings.agent.configuration.configToml.description":"ಏಜೆಂಟ್‌ ನಡವಳಿಕೆಯನ್ನು ಒಗ್ಗಿಸಲು ನಿಮ್ಮ config ತಿದ್ದಿ","settings.agent.configuration.configToml.docs":"ಡಾಕ್ಸ್","settings.agent.configuration.configToml.restartNote":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಹಚ್ಚಲು ತಿದ್ದಿದ ಬಳಿಕ ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ಮರುತೊಡಗಿಸಿ","settings.agent.configuration.subtitle":"ಕೋಡೆಕ್ಸ್‌ ಬಳಕೆಯಾಗುವ ಎಲ್ಲಿಗಾದರೂ ಈ ಸೆಟಿಂಗ್‌ಗಳು ಸಲ್ಲುತ್ತವೆ","settings.automations.banner.danger":"ತನ್ನಡೆತಗಳು ನಿಮ್ಮ ಮೊದಲಾಯ್ಕೆಯ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಸೆಟಿಂಗ್‌ಗಳೊಂದಿಗೆ ನಡೆಯುತ್ತವೆ, ಅವುಗಳನ್ನು ಈಗ ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕಿಗೆ ಹೊಂದಿಸಲಾಗಿದೆ. ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು ಇರುವ ಹಿನ್ನೆಲೆ ತನ್ನಡೆತಗಳನ್ನು ನಡೆಸುವುದು ಹೆಚ್ಚಿನ ಕೇಡನ್ನು ಒಳಗೊಂಡಿದೆ, ಏಕೆಂದರೆ ಕೋಡೆಕ್ಸ್‌ ಫೈಲ್‌ಗಳನ್ನು ಮಾರ್ಪಡಿಸಬಹುದು, ಕಮಾಂಡ್‌ಗಳನ್ನು ಎಸಗಬಹುದು ಮತ್ತು ಕೇಳದೆ ನೆಟ್‌ವರ್ಕ್‌ ಅನ್ನು ಬಳಸಬಹುದು. ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕಿನೊಂದಿಗೆ ಏಜೆಂಟ್‌ ಯಾವ ಕಮಾಂಡ್‌ಗಳನ್ನು ಎಸಗಬಹುದು ಎಂದು ಆರಿಸಿ ಹುರುಳಿಸಲು, ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಸೆಟಿಂಗ್‌ಗಳನ್ನು ಕಾರ್ಯಕ್ಷೇತ್ರ ಬರೆಯಬಲ್ಲ ಎಂದು ಅಪ್‌ಡೇಟ್‌ ಮಾಡುವುದು ಮತ್ತು <rulesDocsLink>ಕಟ್ಟಲೆಗಳನ್ನು</rulesDocsLink> ಬಳಸುವುದನ್ನು ಪರಿಗಣಿಸಿ.","settings.automations.banner.defaultHowTo.default":"ತನ್ನಡೆತಗಳು ನಿಮ್ಮ ಮೊದಲಾಯ್ಕೆಯ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಸೆಟಿಂಗ್‌ಗಳೊಂದಿಗೆ ನಡೆಯುತ್ತವೆ. ಪರಿಕರ ಕರೆಗಳು ಕಾರ್ಯಕ್ಷೇತ್ರದ ಹೊರಗೆ ಫೈಲ್‌ಗಳನ್ನು ಮಾರ್ಪಡಿಸುವುದು, ನೆಟ್‌ವರ್ಕ್‌ ಬಳಸುವುದು ಇಲ್ಲವೇ ನಿಮ್ಮ ಕಂಪ್ಯೂಟರ್‌ನಲ್ಲಿ ಆಪ್‌ಗಳೊಂದಿಗೆ ಕೆಲಸಮಾಡಬೇಕಾಗುತ್ತದೆ ಎಂದಾದರೆ ಅವು ನಡೆಯುವುದಿಲ್ಲ. <rulesDocsLink>ಕಟ್ಟಲೆಗಳು</rulesDocsLink> ಬಳಸುವ ಮೂಲಕ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ನ ಹೊರಗೆ ಎಸಗಲು ನೀವು ಕಮಾಂಡ್‌ಗಳನ್ನು ಒಪ್ಪಿಗೆಪಟ್ಟಿಗೆ ಸೇರಿಸಲು ಆರಿಸಬಹುದು.","settings.automations.banner.defaultHowTo.readOnly":"ತನ್ನಡೆತಗಳು ನಿಮ್ಮ ಮೊದಲಾಯ್ಕೆಯ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಸೆಟಿಂಗ್‌ಗಳೊಂದಿಗೆ ನಡೆಯುತ್ತವೆ, ಅವುಗಳನ್ನು ಈಗ ಬರೀ-ಓದಬಲ್ಲ ಎಂದು ಹೊಂದಿಸಲಾಗಿದೆ. ಪರಿಕರ ಕರೆಗಳು ಫೈಲ್‌ಗಳನ್ನು ಮಾರ್ಪಡಿಸುವುದು, ನೆಟ್‌ವರ್ಕ್‌ ಬಳಸುವುದು ಇಲ್ಲವೇ ನಿಮ್ಮ ಕಂಪ್ಯೂಟರ್‌ನಲ್ಲಿ ಆಪ್‌ಗಳೊಂದಿಗೆ ಕೆಲಸಮಾಡಬೇಕಾಗುತ್ತದೆ ಎಂದಾದರೆ ಅವು ನಡೆಯುವುದಿಲ್ಲ. ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಸೆಟಿಂಗ್‌ಗಳನ್ನು ಕಾರ್ಯಕ್ಷೇತ್ರ ಬರೆಯಬಲ್ಲ ಎಂದು ಅಪ್‌ಡೇಟ್‌ ಮಾಡುವುದನ್ನು ಪರಿಗಣಿಸಿ.","settings.automations.cancel":"ರದ್ದುಮಾಡಿ","settings.automations.create":"ಕ್ರಿಯೇಟ್ ಮಾಡಿ","settings.automations.cwdEmpty":"ಪ್ರಾಜೆಕ್ಟ್ ಫೋಲ್ಡರ್‌ಗಳು ದೊರೆಯುತ್ತಿಲ್ಲ","settings.automations.cwdLabel":"ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು","settings.automations.cwdPlaceholder":"ಫೋಲ್ಡರ್‌ಅನ್ನು ಆಯ್ಕೆಮಾಡಿ","settings.automations.cwdSubtitle":"ಒಂದು ಸರಿಯಾದ ಕವಲಿನಲ್ಲಿ ತನ್ನಡೆತ ನಡೆಯಬೇಕೆಂದು ನೀವು ಬಯಸಿದರೆ, ಅದನ್ನು ನಿಮ್ಮ ಪ್ರಾಂಪ್ಟ್‌ನಲ್ಲಿ ತಿಳಿಸಬಹುದು.","settings.automations.delete":"ಡಿಲೀಟ್ ಮಾಡಿ","settings.automations.dialog.editTitle":"ಸ್ವಯಂಚಾಲಿತತೆಯನ್ನು ತಿದ್ದಿ","settings.automations.dialog.newTitle":"ಹೊಸ ಯಾಂತ್ರೀಕರಣ","settings.automations.dialog.subtitle":"ಮರುಕಳಿಸುವ ಟಾಸ್ಕ್‌ಗಳನ್ನು ಹಿನ್ನೆಲೆಯಲ್ಲಿ ತನ್ನಡೆಯಿಸಿ. ಕೋಡೆಕ್ಸ್‌ ದೊರೆತಗಳನ್ನು ಇನ್‌ಬಾಕ್ಸ್‌ಗೆ ಸೇರಿಸುತ್ತದೆ, ಇಲ್ಲವೇ ರಿಪೋರ್ಟ್‌ ಮಾಡಲು ಏನೂ ಇಲ್ಲದಿದ್ದರೆ ಟಾಸ್ಕ್‌ ಅನ್ನು ತನ್ನಡೆತದಿಂದ ಆರ್ಕೈವ್‌ ಮಾಡುತ್ತದೆ. <learnMoreLink>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</learnMoreLink>","settings.automations.dialog.title":"ಸ್ವಯಂಚಾಲಿತತೆಯನ್ನು ಕ್ರಿಯೇಟ್ ಮಾಡಿ","settings.automations.executionCopy.git":"Git ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು ಮೀಸಲಾಗಿಟ್ಟ ಹಿನ್ನೆಲೆ ವರ್ಕ್‌ಟ್ರೀಗಳಲ್ಲಿ ನಡೆಯುತ್ತವೆ.","settings.automations.executionCopy.local":"ತನ್ನಡೆತಗಳು ಆರಿಸಿದ ಪ್ರಾಜೆಕ್ಟ್‌ ಡೈರೆಕ್ಟರಿಗಳಲ್ಲಿ ನೇರವಾಗಿ ನಡೆಯುತ್ತವೆ.","settings.automations.executionCopy.nonGit":"ಆವೃತ್ತಿ ಹತೋಟಿಯಿಲ್ಲದ ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು ಸ್ಥಳೀಯವಾಗಿ ನಡೆಯುತ್ತವೆ, ಏಕೆಂದರೆ ವರ್ಕ್‌ಟ್ರೀಗಳಿಗೆ Git ಬೇಕಾಗುತ್ತದೆ.","settings.automations.executionEnvironment.ariaLabel":"ಎಸಗಿಕೆ ಪರಿಸರ","settings.automations.executionEnvironment.label":"ಎಸಗಿಕೆ ಪರಿಸರ","settings.automations.executionEnvironment.local":"ಸ್ಥಳೀಯ","settings.automations.executionEnvironment.local.help":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕದೆ ಆರಿಸಿದ ಪ್ರಾಜೆಕ್ಟ್‌ ಡೈರೆಕ್ಟರಿಯಲ್ಲಿ ನೇರವಾಗಿ ನಡೆಯುತ್ತದೆ.","settings.automations.executionEnvironment.worktree":"ವರ್ಕ್‌ಟ್ರೀ","settings.automations.executionEnvironment.worktree.help":"ನಿಮ್ಮ ಈಗಿನ ಚೆಕ್‌ಔಟ್‌ ಅನ್ನು ಮಾರ್ಪಡಿಸದೆ, ಆರಿಸಿದ ಪ್ರಾಜೆಕ್ಟ್‌ನಿಂದ ಹುಟ್ಟುಹಾಕಲಾದ ಮೀಸಲಾಗಿಟ್ಟ Git ವರ್ಕ್‌ಟ್ರೀನಲ್ಲಿ ನಡೆಯುತ್ತದೆ.","settings.automations.loading":"ಲೋಡ್ ಆಗುತ್ತಿದೆ...","settings.automations.nameLabel":"ಹೆಸರು","settings.automations.namePlaceholder":"ಸೆಂಟ್ರಿ ಸಮಸ್ಯೆಗಳಿಗಾಗಿ ಪರಿಶೀಲಿಸಿ","settings.automations.pause":"ವಿರಾಮ","settings.automations.promptLabel":"ಪ್ರಾಂಪ್ಟ್","settings.automations.promptPlaceholder":"$Sentry ರಲ್ಲಿ ಕ್ರ್ಯಾಶ್‌ಗಳನ್ನು ನೋಡಿ","settings.automations.resume":"ಪುನರಾರಂಭಿಸಿ","settings.automations.rruleSummaryFallback":"ಕಸ್ಟಮ್ ವೇಳಾಪಟ್ಟಿ","settings.automations.runNow":"ಪರೀಕ್ಷಿಸು","settings.automations.save":"ಸೇವ್ ಮಾಡಿ","settings.automations.scheduleBadge.dayCount":"{count}ದಿನ","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"ವಾರದ ದಿನಗಳು","settings.automations.scheduleBadge.weekends":"ವಾರದ ಕೊನೆ","settings.automations.scheduleHeader":"ವೇಳಾಪಟ್ಟಿ","settings.automations.scheduleHours":"ಗಂಟೆಗಳು","settings.automations.scheduleLabel":"ಈ ಹೊತ್ತಿಗೊಮ್ಮೆ ಎಸಗಿ","settings.automations.scheduleMode.daily":"ಪ್ರತಿದಿನ","settings.automations.scheduleMode.interval":"ನಡುವಿನ ಅವಧಿ","settings.automations.scheduleModeLabel":"ವೇಳಾಪಟ್ಟಿ ಬಗೆ","settings.automations.scheduleSummary.daily":"{time} ನಲ್ಲಿ ಪ್ರತಿದಿನ","settings.automations.scheduleSummary.interval":"ಪ್ರತಿ {count}ತಾಸಿಗೊಮ್ಮೆ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ದಿನ} other {# ದಿನಗಳು}}","settings.automations.scheduleSummary.intervalDays":"{days} ಗಳಲ್ಲಿ {interval}","settings.automations.scheduleSummary.intervalHourly":"ತಾಸಿಗೊಮ್ಮೆ","settings.automations.scheduleSummary.singleDay":"{day} ಕ್ಕೆ {time}","settings.automations.scheduleSummary.weekdays":"ವಾರದ ದಿನಗಳಲ್ಲಿ {time} ಹೊತ್ತಿಗೆ","settings.automations.scheduleSummary.weekdaysLabel":"ವಾರದ ದಿನಗಳು","settings.automations.scheduleSummary.weekends":"ವಾರದ ಕೊನೆಯಲ್ಲಿ {time} ಹೊತ್ತಿಗೆ","settings.automations.scheduleSummary.weekendsLabel":"ವಾರದ ಕೊನೆ","settings.automations.scheduleSummary.weekly":"{days} ಕ್ಕೆ {time}","settings.automations.scheduleWeekdays":"ಆನ್","settings.automations.weekdayState.excluded":"ಹೊರಗಿಡಲಾಗಿದೆ","settings.automations.weekdayState.included":"ಒಳಗೊಂಡಿದೆ","settings.conversationDetail.steps":"ಹಂತಗಳು","settings.conversationDetail.steps.description":"ಆಜ್ಞೆಗಳನ್ನು ಮತ್ತು ಔಟ್‌ಪುಟ್‌ಗಳನ್ನು ಮರೆಮಾಡಿ","settings.conversationDetail.stepsWithCommands":"ಕೋಡ್ ಆಜ್ಞೆಗಳ ಹಂತಗಳು","settings.conversationDetail.stepsWithCommands.description":"ಕಮಾಂಡ್‌ಗಳನ್ನು ತೋರಿಸಿ, ಔಟ್‌ಪುಟ್‌ ಮಡಚಿ","settings.conversationDetail.stepsWithOutput":"ಕೋಡ್ ಔಟ್‌ಪುಟ್ ನೊಂದಿಗೆ ಹಂತಗಳು","settings.conversationDetail.stepsWithOutput.description":"ಕಮಾಂಡ್‌ಗಳನ್ನು ತೋರಿಸಿ ಮತ್ತು ಔಟ್‌ಪುಟ್‌ ಹಿಗ್ಗಿಸಿ","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"ಆರ್ಕೈವ್ ಮಾಡಿದ ಚಾಟ್‍ಗಳು ಇಲ್ಲ.","settings.dataControls.archivedChats.error":"ಆರ್ಕೈವ್ ಮಾಡಿದ ಚಾಟ್‍ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","settings.dataControls.archivedChats.loading":"ಆರ್ಕೈವ್ ಮಾಡಿದ ಚಾಟ್‍ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","settings.dataControls.archivedChats.unarchive":"ಅನ್‌ಆರ್ಕೈವ್ ಮಾಡಿ","settings.dataControls.archivedChats.unarchiveError":"ಚಾಟ್‌ ಆರ್ಕೈವ್‌ ಆಗದಿರುವಂತೆ ಮಾಡಲು ಆಗಲಿಲ್ಲ","settings.dataControls.archivedChats.unarchiveSuccess":"ಥ್ರೆಡ್‌ ಆರ್ಕೈವ್ ಅನ್ನು ರದ್ದುಪಡಿಸಲಾಗಿದೆ. <viewNowLink> ಈಗ ವೀಕ್ಷಿಸಿ </viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"ಆರ್ಕೈವ್‌ ಮಾಡದ ಥ್ರೆಡ್‌.","settings.dataControls.archivedChats.untitled":"ಹೆಸರಿಲ್ಲದ ಚಾಟ್‌","settings.dataControls.archivedChats.viewNow":"ಈಗ ನೋಡಿ","settings.editRow.headerPlaceholder":"ಕೀ","settings.editRow.removeEntry":"ಸೇರಿಕೆ ರಿಮೂವ್ ಮಾಡಿ","settings.editRow.valuePlaceholder":"ಮೌಲ್ಯ","settings.general.appearance":"ಗೋಚರತೆ","settings.general.appearance.codeFont":"ಕೋಡ್ ಫಾಂಟ್","settings.general.appearance.codeFont.description":"ಚಾಟ್‌ಗಳು ಮತ್ತು ಡಿಫ್‌ಗಳಲ್ಲಿ ಕೋಡ್‌ಗೆ ಬಳಸಲಾಗುವ ಫಾಂಟ್ ಮತ್ತು ಗಾತ್ರವನ್ನು ಹೊಂದಿಸಿ","settings.general.appearance.codeFontFamily":"ಕೋಡ್ ಫಾಂಟ್‌ ಕುಟುಂಬ","settings.general.appearance.codeFontSize":"ಕೋಡ್ ಫಾಂಟ್‌ ಅಳತೆ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ಸಿಸ್ಟಮ್‌ ಅರೆಸಿಲುವು ಬಳಸುವುದಕ್ಕೆ ಮಾರ್ಪಾಗಿ ವಿಂಡೋಸ್‌ ಒಂದೇ ಬಣ್ಣದ ಹಿನ್ನೆಲೆ ಬಳಸುವಂತೆ ಮಾಡಿ","settings.general.appearance.opaqueWindows.label":"ಅಪಾರದರ್ಶಕ ವಿಂಡೋ ಹಿನ್ನಲೆಯಲ್ಲಿ ಬಳಸಿ","settings.general.appearance.sansFontFamily":"Sans ಫಾಂಟ್‌ ಕುಟುಂಬ","settings.general.appearance.sansFontFamily.description":"ಕೋಡೆಕ್ಸ್‌ UI ಗೆ ಬಳಸುವ ಫಾಂಟ್‌ ಸರಿದೂಗಿಸಿ","settings.general.appearance.sansFontSize":"ಸಾನ್ಸ್ ಫಾಂಟ್ ಗಾತ್ರ","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT‑5.3‑Codex‑Spark ಮೊದಲ ಸೂಚನೆ (ಟರ್ನ್) ನಡೆಯುತ್ತಿರುವಾಗ ಸಂಪೂರ್ಣ‑ವಿಂಡೋ ಹಬ್ಬ ಪರಿಣಾಮಗಳನ್ನು ತೋರಿಸು.","settings.general.appearance.sparkCelebrationEffects.label":"ಸ್ಪಾರ್ಕ್ ಆಚರಣೆಯ ಎಫೆಕ್ಟ್‌ಗಳು","settings.general.appearance.theme":"ಥೀಮ್‌","settings.general.appearance.theme.dark":"ಕಪ್ಪು","settings.general.appearance.theme.description":"ಬೆಳಕು, ಕತ್ತಲೆ ಬಳಸಿ ಇಲ್ಲವೇ ನಿಮ್ಮ ಸಿಸ್ಟಮ್‌ಗೆ ಹೊಂದಿಸಿ","settings.general.appearance.theme.light":"ತಿಳಿಯಾದ","settings.general.appearance.theme.system":"ಸಿಸ್ಟಮ್","settings.general.appearance.usePointerCursors.description":"ಮಾತಾಟ ನಡೆಸುವ ಅಂಶಗಳ ಮೇಲೆ ಸುಳಿದಾಡುವಾಗ ಕರ್ಸರ್‌ ಅನ್ನು ಪಾಯಿಂಟರ್‌ ಆಗಿ ಮಾರ್ಪಡಿಸಿ","settings.general.appearance.usePointerCursors.label":"ಪಾಯಿಂಟರ್‌ ಕರ್ಸರ್‌ಗಳನ್ನು ಬಳಸಿ","settings.general.enterBehavior.description":"ಎನೇಬಲ್‌ ಆದಾಗ, ಹಲವುಸಾಲುಗಳ ಪ್ರಾಂಪ್ಟ್‌ಗಳನ್ನು ಕಳುಹಿಸಲು {modifierSymbol} + enter ಒತ್ತಬೇಕು.","settings.general.enterBehavior.label":"ದೀರ್ಘ ಪ್ರಾಂಪ್ಟ್‌ಗಳನ್ನು ಕಳುಹಿಸಲು {modifierSymbol} + Enter ಬಳಸಿ","settings.general.experimentalFeatures":"ಒರೆತದ ಫೀಚರ್‌ಗಳು (ಬೀಟಾ)","settings.general.experimentalFeatures.empty":"ಬೀಟಾ ಒರೆತದ ಫೀಚರ್‌ಗಳು ದೊರೆಯುತ್ತಿಲ್ಲ.","settings.general.experimentalFeatures.loading":"ಒರೆತದ ಫೀಚರ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","settings.general.experimentalFeatures.restartNote":"ಒರೆತದ ಫೀಚರ್‌ ಮಾರ್ಪಾಡುಗಳನ್ನು ಹಚ್ಚಲು ಕೋಡೆಕ್ಸ್‌ ಮರುತೊಡಗಿಸಿ","settings.general.experimentalFeatures.toggle":"ಟಾಗಲ್ {featureName} ","settings.general.followUpQueueMode.description":"ಕೋಡೆಕ್ಸ್‌ ನಡೆಯುವಾಗ ಮುಂದುವರಿಕೆಗಳನ್ನು ಸರತಿಸಾಲಿಗೆ ಸೇರಿಸಿ ಇಲ್ಲವೇ ಈಗಿನ ನಡೆತವನ್ನು ನಡೆಸಿ. ಒಂದು ಸಂದೇಶಕ್ಕೆ ಎದುರಾಗಿರುವುದನ್ನು ಮಾಡಲು {invertFollowUpShortcutLabel} ಒತ್ತಿರಿ.","settings.general.followUpQueueMode.interrupt":"ಸ್ಟಿಯರ್‌","settings.general.followUpQueueMode.label":"ಫಾಲೋ-ಅಪ್ ‌ನಡವಳಿಕೆ","settings.general.followUpQueueMode.queue":"ಕ್ಯೂ","settings.general.notifications":"ಅಧಿಸೂಚನೆಗಳು","settings.general.power.preventSleepWhileRunning.description":"ಕೋಡೆಕ್ಸ್‌ ಥ್ರೆಡ್‌ ಅನ್ನು ನಡೆಸುತ್ತಿರುವಾಗ ನಿಮ್ಮ ಕಂಪ್ಯೂಟರ್‌ ಎಚ್ಚರವಾಗಿರಲಿ.","settings.general.power.preventSleepWhileRunning.label":"ನಡೆಯುತ್ತಿರುವಾಗ ಮಲಗಲು ಬಿಡದಿರಿ","settings.git.branchPrefix.ariaLabel":"ಕವಲು ಮುನ್ನೊಟ್ಟು","settings.git.branchPrefix.description":"ಕೋಡೆಕ್ಸ್‌ನಲ್ಲಿ ಹೊಸ ಕವಲುಗಳನ್ನು ಹುಟ್ಟುಹಾಕುವಾಗ ಬಳಸುವ ಮುನ್ನೊಟ್ಟು","settings.git.branchPrefix.label":"ಕವಲು ಮುನ್ನೊಟ್ಟು","settings.git.branchPrefix.placeholder":"ಕೋಡೆಕ್ಸ್/‌","settings.git.branchPrefix.save.error":"ಕವಲು ಮುನ್ನೊಟ್ಟನ್ನು ಉಳಿಸಲು ಆಗಲಿಲ್ಲ","settings.git.branchPrefix.save.success":"ಉಳಿಸಿದ ಕವಲು ಮುನ್ನೊಟ್ಟು","settings.git.commitInstructions.ariaLabel":"ಸೂಚನೆಗಳನ್ನು ಕಮಿಟ್ ಮಾಡಿ","settings.git.commitInstructions.description":"ಕಮಿಟ್ ಸಂದೇಶದ ರಚನೆ ಪ್ರಾಂಪ್ಟ್‌ಗಳಿಗೆ ಸೇರಿಸಲಾಗಿದೆ","settings.git.commitInstructions.label":"ಸೂಚನೆಗಳನ್ನು ಕಮಿಟ್ ಮಾಡಿ","settings.git.commitInstructions.placeholder":"ಕಮಿಟ್ ಸಂದೇಶನಕ್ಕೆ ಮಾರ್ಗದರ್ಶನವನ್ನು ಸೇರಿಸಿ…","settings.git.commitInstructions.save":"ಸೇವ್ ಮಾಡಿ","settings.git.commitInstructions.save.error":"ಕಮಿಟ್ ಸೂಚನೆಗಳನ್ನು ಉಳಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ","settings.git.commitInstructions.save.success":"ಕಮಿಟ್ ಸೂಚನೆಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ","settings.git.forcePush.ariaLabel":"ಯಾವಾಗಲೂ ಒತ್ತಾಯದಿಂದ ನೂಕಿ","settings.git.forcePush.description":"ಕೋಡೆಕ್ಸ್‌ನಿಂದ ನೂಕುವಾಗ --force-with-lease ಬಳಸಿ","settings.git.forcePush.label":"ಯಾವಾಗಲೂ ಒತ್ತಾಯದಿಂದ ನೂಕಿ","settings.git.forcePush.save.disabled":"ಯಾವಾಗಲೂ ಒತ್ತಾಯದಿಂದ ನೂಕುವುದು ಡಿಸೇಬಲ್‌ ಆಗಿದೆ","settings.git.forcePush.save.enabled":"ಯಾವಾಗಲೂ ಒತ್ತಾಯದಿಂದ ನೂಕುವುದು ಎನೇಬಲ್‌ ಆಗಿದೆ","settings.git.forcePush.save.error":"ಒತ್ತಾಯದಿಂದ ನೂಕುವ ಸೆಟಿಂಗ್‌ ಉಳಿಸಲು ಆಗಲಿಲ್ಲ","settings.git.prInstructions.ariaLabel":"ಪುಲ್ ಕೋರಿಕೆಯ ಸೂಚನೆಗಳು","settings.git.prInstructions.description":"ಕೋಡೆಕ್ಸ್‌ ಹುಟ್ಟುಹಾಕಿದ ಪುಲ್‌ ಕೋರಿಕೆಗಳಿಗೆ ಸೇರಿಸಲಾಗುತ್ತದೆ","settings.git.prInstructions.label":"ಪುಲ್ ಕೋರಿಕೆಯ ಸೂಚನೆಗಳು","settings.git.prInstructions.placeholder":"ಪುಲ್ ಕೋರಿಕೆಯ ಸೂಚನೆಗಳನ್ನು ಸೇರಿಸಿ...","settings.git.prInstructions.save":"ಸೇವ್ ಮಾಡಿ","settings.git.prInstructions.save.error":"ಪುಲ್ ಕೋರಿಕೆಯ ಸೂಚನೆಗಳನ್ನು ಉಳಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ","settings.git.prInstructions.save.success":"ಪುಲ್ ಕೋರಿಕೆಯ ಸೂಚನೆಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ","settings.ide.defaultOpenTarget.description":"ಡೀಫಾಲ್ಟ್ ಆಗಿ ಫೈಲ್‌ ಮತ್ತು ಫೋಲ್ಡರ್‌ಗಳು ಎಲ್ಲಿ ತೆರೆದುಕೊಳ್ಳುತ್ತವೆ","settings.ide.defaultOpenTarget.label":"ಡೀಫಾಲ್ಟ್ ಆಗಿ ಎಲ್ಲಿ ತೆರೆಯಬೇಕು","settings.ide.defaultOpenTarget.placeholder":"ಎಲ್ಲಿ ತೆರೆಯಬೇಕೆಂದು ಇನ್ನೂ ಗೊತ್ತಿಲ್ಲ","settings.ide.language.auto":"ತನ್ನಡೆತದ ಕಂಡುಹಿಡಿತ","settings.ide.language.autoOption":"ತನ್ನಡೆತದ ಕಂಡುಹಿಡಿತ","settings.ide.language.description":"ಆಪ್‌ UIನ ಭಾಷೆ","settings.ide.language.label":"ಭಾಷೆ","settings.ide.language.search":"ಭಾಷೆಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಿ","settings.layout.actionButton":"ಎಕ್ಸ್‌ಟೆನ್ಶನ್‌ ಮರುತೊಡಗಿಸಿ","settings.layout.actionTitle":"ಆಕ್ಶನ್‌ ಜೊತೆಗಿನ ಸೆಟಿಂಗ್‌ಗಳು","settings.layout.fullWidthTitle":"ಸೆಟಿಂಗ್‌ಗಳು (ಇಡೀ ಅಗಲ)","settings.layout.title":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","settings.localEnvironments.actions.add":"ಆಕ್ಷನ್ ಸೇರಿಸಿ","settings.localEnvironments.actions.add.description":"ಟೂಲ್‌ಬಾರ್‌ನಿಂದ ಎಸಗಲು ಹೊಸ ಕಮಾಂಡ್‌ ಹುಟ್ಟುಹಾಕಿ.","settings.localEnvironments.actions.add.save":"ಸೇವ್ ಮಾಡಿ","settings.localEnvironments.actions.empty":"ಸ್ಥಳೀಯ ಟೂಲ್‌ಬಾರ್‌ನಿಂದ ಕಮಾಂಡ್‌ಗಳನ್ನು ಎಸಗಲು ಆಕ್ಶನ್‌ ಸೇರಿಸಿ.","settings.localEnvironments.actions.icon.debug":"ಡೀಬಗ್","settings.localEnvironments.actions.icon.run":"ರನ್ ಮಾಡಿ","settings.localEnvironments.actions.icon.test":"ಪರೀಕ್ಷಿಸು","settings.localEnvironments.actions.icon.tool":"ಪರಿಕರ","settings.localEnvironments.actions.item.button.delete":"ಡಿಲೀಟ್ ಮಾಡಿ","settings.localEnvironments.actions.item.command":"ಆಕ್ಶನ್‌ ಸ್ಕ್ರಿಪ್ಟ್‌","settings.localEnvironments.actions.item.name":"ಹೆಸರು","settings.localEnvironments.actions.item.platforms":"ಪ್ಲಾಟ್ಫಾರ್ಮ್ಸ್","settings.localEnvironments.actions.item.platforms.help":"ಬರೀ ಸರಿಯಾದ OS ನಲ್ಲಿ ಎಸಗಿ.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"ಪ್ಲಾಟ್‌ಫಾರ್ಮ್ ಆಯ್ಕೆ","settings.localEnvironments.actions.item.platforms.specific":"ಪ್ಲಾಟ್‌ಫಾರ್ಮ್‌ಗೆ ತಕ್ಕ","settings.localEnvironments.actions.item.platforms.windows":"ವಿಂಡೋಸ್","settings.localEnvironments.actions.item.tooltip.delete":"ಡಿಲೀಟ್ ಮಾಡಿ","settings.localEnvironments.actions.title":"ಅಕ್ಷನ್ಸ್","settings.localEnvironments.breadcrumb.back":"ಹಿಂದಕ್ಕೆ","settings.localEnvironments.breadcrumb.edit":"ತಿದ್ದಿ","settings.localEnvironments.breadcrumb.root":"ಪರಿಸರಗಳು","settings.localEnvironments.environment.actions.description":"ಈ ಆಕ್ಶನ್‌ಗಳು ಯಾವುದೇ ಕಮಾಂಡ್‌ ಅನ್ನು ಎಸಗಬಲ್ಲವು ಮತ್ತು ಅವುಗಳನ್ನು ಮೇಲ್ಬರಹದಲ್ಲಿ ತೋರಿಸಲಾಗುವುದು.","settings.localEnvironments.environment.actionsLabel":"ಅಕ್ಷನ್ಸ್","settings.localEnvironments.environment.create":"ಸ್ಥಳೀಯ ಪರಿಸರ ಹುಟ್ಟುಹಾಕಿ","settings.localEnvironments.environment.defaultName":"ಸ್ಥಳೀಯ","settings.localEnvironments.environment.edit":"ಸ್ಥಳೀಯ ಪರಿಸರ ತಿದ್ದಿ","settings.localEnvironments.environment.empty":"ಈ ಕಾರ್ಯಕ್ಷೇತ್ರಕ್ಕಾಗಿ ಇನ್ನೂ ಸ್ಥಳೀಯ ಪರಿಸರ ಅಟ್ಟಣಿಸಿಲ್ಲ.","settings.localEnvironments.environment.name":"ಹೆಸರು","settings.localEnvironments.environment.setup":"ಸೆಟಪ್‌ ಸ್ಕ್ರಿಪ್ಟ್‌ ","settings.localEnvironments.environment.setup.description":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟಿಸಿಕೆ ಮೇಲೆ ಈ ಸ್ಕ್ರಿಪ್ಟ್‌ ನಡೆಯುತ್ತದೆ.","settings.localEnvironments.environment.setup.hint":"ಪ್ರಾಜೆಕ್ಟ್‌ ಬೇರಿನಲ್ಲಿ ನಡೆಯುತ್ತದೆ.","settings.localEnvironments.environment.setup.platformOverrides":"ಪ್ಲಾಟ್‌ಫಾರ್ಮ್‌ ಕಡೆಗಣಿಕೆಗಳು","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} ನೆಲೆಗೊಳಿಕೆ ಸ್ಕ್ರಿಪ್ಟ್ ಸೇರಿಸಿ","settings.localEnvironments.environment.setup.platformOverrides.description":"ಸರಿಯಾದ ಕೆಲವು OS ಗಳಿಗೆ ಮೊದಲಾಯ್ಕೆಯ ಸ್ಕ್ರಿಪ್ಟ್‌ ಅನ್ನು ಕಡೆಗಣಿಸುತ್ತದೆ.","settings.localEnvironments.environment.setup.platformOverrides.remove":"ರಿಮೂವ್ ಮಾಡಿ","settings.localEnvironments.environment.setup.script":"ಸ್ಕ್ರಿಪ್ಟ್‌","settings.localEnvironments.environment.title":"ಪರಿಸರ ವಿವರಗಳು","settings.localEnvironments.file.missing":"ಮೊದಲ ಸಲ ಈ ಫೈಲ್‌ ಹುಟ್ಟುಹಾಕಲು ಉಳಿಸಿ.","settings.localEnvironments.file.parseError":"ಇರುವ ಫೈಲ್‌ ಅನ್ನು ಪಾರ್ಸ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ. ಉಳಿಸುವುದು ಅದನ್ನು ತಿದ್ದಿಬರೆಯುತ್ತದೆ. ({error}) ","settings.localEnvironments.file.path":"ಫೈಲ್: {path}","settings.localEnvironments.file.readError":"ಸ್ಥಳೀಯ ಪರಿಸರ ಡೇಟಾ ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ. ({error})","settings.localEnvironments.file.title":"ಸ್ಥಳೀಯ ಪರಿಸರ ಫೈಲ್","settings.localEnvironments.loading.body":"ನಿಮ್ಮ ಪ್ರಾಜೆಕ್ಟ್‌ ಅಟ್ಟಣೆಯನ್ನು ಹುಡುಕಿ ತರಲಾಗುತ್ತಿದೆ.","settings.localEnvironments.loading.title":"ಸ್ಥಳೀಯ ಪರಿಸರಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ","settings.localEnvironments.preview.devOnly":"(ಬರೀ DEV)","settings.localEnvironments.preview.save":"ಸೇವ್ ಮಾಡಿ","settings.localEnvironments.preview.saveError":"ಫೈಲ್ ಉಳಿಸಲು ಆಗಲಿಲ್ಲ. ({error})","settings.localEnvironments.preview.title":"ಪ್ರಿವ್ಯೂ","settings.localEnvironments.save.disabled.name":"ಸೇವ್ ಮಾಡಲು ಒಂದು ಪರಿಸರವನ್ನು ಸೇರಿಸಿ.","settings.localEnvironments.save.disabled.noChanges":"ಸೇವ್ ಮಾಡಲು ಯಾವುದೇ ಬದಲಾವಣೆಗಳಿಲ್ಲ.","settings.localEnvironments.save.disabled.saving":"ಸೇವ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","settings.localEnvironments.save.success":"ಉಳಿಸಿದ ಸ್ಥಳೀಯ ಪರಿಸರ","settings.localEnvironments.unavailable.body":"ಈ ಕಾರ್ಯಕ್ಷೇತ್ರದ ಸ್ಥಳೀಯ ಪರಿಸರ ಸೆಟಿಂಗ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","settings.localEnvironments.unavailable.title":"ಸ್ಥಳೀಯ ಪರಿಸರಗಳು ದೊರೆಯುತ್ತಿಲ್ಲ","settings.localEnvironments.workspace.add":"ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","settings.localEnvironments.workspace.title":"ಪ್ರಾಜೆಕ್ಟ್","settings.localEnvironments.workspaceSelect.addLabel":"ಪರಿಸರ ಸೇರಿಸಿ","settings.localEnvironments.workspaceSelect.description":"ಒಂದು ಪ್ರಾಜೆಕ್ಟ್‌ಗೆ ವರ್ಕ್‌ಟ್ರೀಗಳನ್ನು ನೆಲೆಗೊಳಿಸುವುದು ಹೇಗೆಂದು ಸ್ಥಳೀಯ ಪರಿಸರಗಳು ಕೋಡೆಕ್ಸ್‌ಗೆ ಹೇಳುತ್ತವೆ. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ಇನ್ನೂ ಯಾವುದೇ ಪ್ರಾಜೆಕ್ಟ್‌ಗಳಿಲ್ಲ. ಸ್ಥಳೀಯ ಪರಿಸರಗಳನ್ನು ಅಟ್ಟಣಿಸಲು ಒಂದು ಪ್ರಾಜೆಕ್ಟ್‌ ಸೇರಿಸಿ.","settings.localEnvironments.workspaceSelect.errorLabel":"ಪರಿಸರದ ಕಡೆ ಗಮನಹರಿಸಿ","settings.localEnvironments.workspaceSelect.learnMore":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","settings.localEnvironments.workspaceSelect.listLabel":"ದೊರೆಯುವ ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು","settings.localEnvironments.workspaceSelect.loading":"ಪ್ರಾಜೆಕ್ಟ್‌ಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ.","settings.localEnvironments.workspaceSelect.loadingLabel":"ಪರಿಸರ ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ","settings.localEnvironments.workspaceSelect.title":"ಪ್ರಾಜೆಕ್ಟ್ ಆಯ್ಕೆಮಾಡಿ","settings.localEnvironments.workspaceSelect.viewAction":"ನೋಡಿ","settings.mcp.addServer":"ಸರ್ವರ್‌ ಸೇರಿಸಿ","settings.mcp.app.configure":"ಸಂರಚನೆ ಮಾಡಿ","settings.mcp.app.connect":"ಕನೆಕ್ಟ್ ಮಾಡಿ","settings.mcp.apps.refresh":"ರಿಫ್ರೆಶ್ ಮಾಡಿ","settings.mcp.detail.addArgument":"ಆರ್ಗ್ಯುಮೆಂಟ್‌ ಸೇರಿಸಿ","settings.mcp.detail.addEnvVar":"ಪರಿಸರ ವೇರಿಯೆಬಲ್ ಸೇರಿಸಿ‌","settings.mcp.detail.addEnvVarPassthrough":"ವೇರಿಯೆಬಲ್ ಸೇರಿಸಿ","settings.mcp.detail.args":"ಆರ್ಗ್ಯುಮೆಂಟ್‌ಗಳು","settings.mcp.detail.back":"ಹಿಂದಕ್ಕೆ","settings.mcp.detail.command":"ಹೊರತರಲು ಕಮಾಂಡ್‌","settings.mcp.detail.cwd":"ಕೆಲಸಮಾಡುವ ಡೈರೆಕ್ಟರಿ","settings.mcp.detail.docs":"MCP ಡಾಕ್ಯುಮೆಂಟೇಶನ್ ತೆರೆಯಿರಿ","settings.mcp.detail.docs.link":"ಡಾಕ್ಸ್","settings.mcp.detail.envVarPassthrough":"ಪರಿಸರ ವೇರಿಯೆಬಲ್‌ ಹಾದಿ","settings.mcp.detail.envVars":"ಪರಿಸರ ವೇರಿಯೆಬಲ್‌ಗಳು","settings.mcp.detail.http.addEnvHeader":"ವೇರಿಯೆಬಲ್ ಸೇರಿಸಿ","settings.mcp.detail.http.addHeader":"ಮೇಲ್ಬರಹ ಸೇರಿಸಿ","settings.mcp.detail.http.bearerToken":"ಬೇರರ್‌ token env var","settings.mcp.detail.http.envHeaders":"ಪರಿಸರ ವೇರಿಯೆಬಲ್‌ಗಳಿಂದ ಮೇಲ್ಬರಹಗಳು","settings.mcp.detail.http.headers":"ಮೇಲ್ಬರಹಗಳು","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"ಹೆಸರು","settings.mcp.detail.save":"ಸೇವ್ ಮಾಡಿ","settings.mcp.detail.switchTransportNotice":"ನೀವು MCP ಸರ್ವರ್‌ ಬಗೆಯ ಮಾರ್ಪಾಡು ನಡೆಸಲು ಬಯಸಿದರೆ, ದಯವಿಟ್ಟು ಮೊದಲು ಅಳವಡಿಸಿದ್ದನ್ನು ತೆಗೆದುಹಾಕಿ.","settings.mcp.detail.titleExisting":"{name} MCP ಅಪ್ಡೇಟ್ ಮಾಡಿ","settings.mcp.detail.titleNew":"ಕಸ್ಟಮ್ MCPಗೆ ಕನೆಕ್ಟ್ ಮಾಡಿ","settings.mcp.detail.transport.http":"ಹರಿಸಬಲ್ಲ HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"ಅನ್‌ಇನ್‌ಸ್ಟಾಲ್ ಮಾಡಿ","settings.mcp.empty":"ಕನೆಕ್ಟ್‌ ಆದ ಕಸ್ಟಮ್ MCP ಸರ್ವರ್‌ಗಳಿಲ್ಲ","settings.mcp.myServers":"ಕಸ್ಟಮ್ ಸರ್ವರ್‌ಗಳು","settings.mcp.partnerServer.description.figma":"ಇಡೀ ಫಿಗ್ಮಾ ಕಾಂಟೆಕ್ಸ್ಟ್ ಅನ್ನು ತರುವ ಮೂಲಕ ಒಳ್ಳೆಯ ಕೋಡ್‌ ಜನರೇಟ್ ಮಾಡಿ","settings.mcp.partnerServer.description.github":"ಕೆಲಸಗಳನ್ನು ತನ್ನಡೆಯಿಸಲು ಮತ್ತು ಡೇಟಾ ಎಕ್ಸ್ಟ್ರಾಕ್ಟ್ ಮಾಡಲು GitHub API ಗಳೊಂದಿಗೆ ಒಗ್ಗೂಡಿಸಿ","settings.mcp.partnerServer.description.linear":"ಲೀನಿಯರ್‌ನ ತೊಡಕು ಜಾಡುಹಿಡಿಯುವುದು ಮತ್ತು ಪ್ರಾಜೆಕ್ಟ್‌ ನಿರ್ವಹಣೆಗಳೊಂದಿಗೆ ಒಗ್ಗೂಡಿಸಿ","settings.mcp.partnerServer.description.notion":"ಡಾಕ್ಯುಮೆಂಟ್‌ಗಳನ್ನು ಓದಿ, ಪುಟಗಳನ್ನು ಅಪ್‌ಡೇಟ್‌ ಮಾಡಿ, ಟಾಸ್ಕ್‌ಗಳನ್ನು ನಿರ್ವಹಿಸಿ","settings.mcp.partnerServer.description.playwright":"ಡಿಸೈನ್‌ ಬಳಸಲು ಮತ್ತು UI ಒರೆದು ನೋಡಲು ಬ್ರೌಸರ್‌ ತನ್ನಡೆತ ಒಗ್ಗೂಡಿಸಿ.","settings.mcp.partnerServer.install":"ಇನ್ಸ್ಟಾಲ್ ಮಾಡಿ","settings.mcp.partnerServer.installAndAuthenticate":"ಇನ್ಸ್ಟಾಲ್ ಮಾಡಿ ಮತ್ತು ದೃಢೀಕರಿಸಿ","settings.mcp.partnerServer.logoAlt":"{label}ಚಿಹ್ನೆ","settings.mcp.partnerServer.manage":"ನಿರ್ವಹಿಸಿ","settings.mcp.partnerServer.vendor":"{vendor} ರಿಂದ","settings.mcp.recommendedServers":"ಶಿಫಾರಸು ಮಾಡಲಾದ ಸರ್ವರ್‌ಗಳು","settings.mcp.restartApp":"ಮರುತೊಡಗಿಸಿ","settings.mcp.restartExtension":"ಎಕ್ಸ್‌ಟೆನ್ಶನ್‌ ಮರುತೊಡಗಿಸಿ","settings.mcp.server.enable":"ಎನೇಬಲ್ ಮಾಡಿ","settings.mcp.server.login":"ದೃಢೀಕರಿಸಿ","settings.mcp.server.settings":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","settings.multiselect.createOption":'"{value}" ಹುಟ್ಟುಹಾಕಿ',"settings.multiselect.removeOption":"ರಿಮೂವ್ ಮಾಡಿ","settings.nav.account":"ಅಕೌಂಟ್","settings.nav.agent":"ಸಂರಚನೆ","settings.nav.ariaLabel":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","settings.nav.back":"ಆಪ್‌ಗೆ ಹಿಂತಿರುಗಿ","settings.nav.data-controls":"ಆರ್ಕೈವ್ ಮಾಡಲಾದ ಥ್ರೆಡ್‌ಗಳು","settings.nav.environments":"ಕ್ಲೌಡ್‌ ಪರಿಸರಗಳು","settings.nav.externalTooltip":"[ಆಲ್ಫಾ] ಬ್ರೌಸರ್‌ನಲ್ಲಿ ತೆರೆಯುತ್ತದೆ","settings.nav.general-settings":"ಸಾಮಾನ್ಯ","settings.nav.git-settings":"Git","settings.nav.local-environments":"ಪರಿಸರಗಳು","settings.nav.mcp-settings":"MCP ಸರ್ವರ್‌ಗಳು","settings.nav.notImplemented":"[ಆಲ್ಫಾ] ಆಲ್ಫಾದಲ್ಲಿ ದೊರೆಯುವುದಿಲ್ಲ","settings.nav.personalization":"ವೈಯಕ್ತೀಕರಣ","settings.nav.skills-settings":"ಸ್ಕಿಲ್‌ಗಳು","settings.nav.usage-analytics":"ಬಳಕೆ ಮತ್ತು ಬಿಡಿನೋಟ‌","settings.nav.worktrees":"ವರ್ಕ್‌ಟ್ರೀಗಳು","settings.openSourceLicenses.back":"ಹಿಂದಕ್ಕೆ","settings.openSourceLicenses.loading":"ಲೋಡ್ ಆಗುತ್ತಿದೆ...","settings.openSourceLicenses.missing":"ಹೊರಗಿನ ನೋಟಿಸ್‌ಗಳು ಕಂಡುಬಂದಿಲ್ಲ.","settings.openSourceLicenses.notSupported":"ಈ ಹೋಸ್ಟ್‌ನಲ್ಲಿ ದೊರೆಯುತ್ತಿಲ್ಲ.","settings.openSourceLicenses.rowDescription":"ಹೆಚ್ಚುವರಿಯಾಗಿ ಸೇರಿಸಿದ ಅವಲಂಬನೆಗಳಿಗೆ ಹೊರಗಿನ ನೋಟಿಸ್‌ಗಳು","settings.openSourceLicenses.rowLabel":"ಓಪನ್ ಸೋರ್ಸ್ ಲೈಸೆನ್ಸ್‌ಗಳು","settings.openSourceLicenses.subtitle":"ಈ ಆಪ್‌ನಲ್ಲಿ ಸೇರಿಸಿದ ಅವಲಂಬನೆಗಳಿಗೆ ಹೊರಗಿನ ನೋಟಿಸ್‌ಗಳು","settings.openSourceLicenses.title":"ಓಪನ್ ಸೋರ್ಸ್ ಲೈಸೆನ್ಸ್‌ಗಳು","settings.openSourceLicenses.view":"ನೋಡಿ","settings.personalization.agents.description":"ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ನಿಮಗಾಗಿ ಹೊಂದಿಸುವ ಸೂಚನೆಗಳನ್ನು ತಿದ್ದಿ. {learnMore}","settings.personalization.agents.learnMore":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","settings.personalization.agents.loadError":"agents.md ಲೋಡ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ.","settings.personalization.agents.loading":"agents.md ಲೋಡ್ ಆಗುತ್ತಿದೆ...","settings.personalization.agents.placeholder":"ನಿಮ್ಮ ಕಸ್ಟಮ್ ಸೂಚನೆಗಳನ್ನು ಸೇರಿಸಿ...","settings.personalization.agents.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","settings.personalization.agents.save":"ಸೇವ್ ಮಾಡಿ","settings.personalization.agents.save.error":"agents.md ಉಳಿಸಲು ಆಗುತ್ತಿಲ್ಲ","settings.personalization.agents.save.success":"agents.md ಉಳಿಸಲಾಗಿದೆ","settings.personalization.agents.title":"ಕಸ್ಟಮ್ ಸೂಚನೆಗಳು","settings.personalization.personality.description":"ಕೋಡೆಕ್ಸ್‌ ಪ್ರತಿಕ್ರಿಯೆಗಳಿಗೆ ಮೊದಲಾಯ್ಕೆಯ ಉಲಿಪರಿ ಆಯ್ಕೆಮಾಡಿ","settings.personalization.personality.label":"ಪರ್ಸನಾಲಿಟಿ","settings.sample.contentBody":"ಒಂದೇ ತೆರನಾದ ಅಗಲದೊಂದಿಗೆ ನಿಮ್ಮ ಸೆಟಿಂಗ್ಸ್‌ ಪ್ಯಾನಲ್‌ಗಳನ್ನು ಮಾಡಲು ಈ ಲೇಔಟ್‌ ಬಳಸಿ.","settings.sample.contentTitle":"ಸ್ಯಾಂಪಲ್‌ ಕಾಂಟೆಂಟ್‌ ಬ್ಲಾಕ್‌","settings.section.account":"ಅಕೌಂಟ್","settings.section.agent":"ಸಂರಚನೆ","settings.section.data-controls":"ಆರ್ಕೈವ್ ಮಾಡಲಾದ ಥ್ರೆಡ್‌ಗಳು","settings.section.environments":"ಕ್ಲೌಡ್‌ ಪರಿಸರಗಳು","settings.section.external":"ಆಲ್ಫಾ ಸಮಯದಲ್ಲಿ ನಿಮ್ಮ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ತೆರೆಯುತ್ತದೆ","settings.section.general-settings":"ಸಾಮಾನ್ಯ","settings.section.git-settings":"Git","settings.section.local-environments":"ಪರಿಸರಗಳು","settings.section.mcp-settings":"MCP ಸರ್ವರ್‌ಗಳು","settings.section.mcp-settings.docs":"ಡಾಕ್ಸ್","settings.section.mcp-settings.subtitle":"ಹೊರಗಿನ ಪರಿಕರಗಳು ಮತ್ತು ಡೇಟಾ ಮೂಲಗಳನ್ನು ಕನೆಕ್ಟ್‌ ಮಾಡಿ.","settings.section.personalization":"ವೈಯಕ್ತೀಕರಣ","settings.section.skills-settings":"ಸ್ಕಿಲ್‌ಗಳು","settings.section.unavailable":"ಆಲ್ಫಾದಲ್ಲಿ ಇನ್ನೂ ಲಭ್ಯವಿಲ್ಲ","settings.section.usage-analytics":"ಬಳಕೆ ಮತ್ತು ಬಿಡಿನೋಟ‌","settings.section.worktrees":"ವರ್ಕ್‌ಟ್ರೀಗಳು","settings.threadDetail.description":"ಥ್ರೆಡ್‌ಗಳಲ್ಲಿ ಎಷ್ಟು ಕಮಾಂಡ್‌ ಔಟ್‌ಪುಟ್‌ ತೋರಿಸಬೇಕೆಂದು ಆಯ್ಕೆಮಾಡಿ","settings.threadDetail.label":"ಥ್ರೆಡ್‌ನ ವಿವರ","settings.worktrees.conversation.untitled":"ಹೆಸರಿಲ್ಲದ ಮಾತುಕತೆ","settings.worktrees.delete.error":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಅಳಿಸಲು ಆಗಲಿಲ್ಲ","settings.worktrees.empty.body":"ಕೋಡೆಕ್ಸ್‌ ಹುಟ್ಟುಹಾಕಿದ ವರ್ಕ್‌ಟ್ರೀಗಳು ಇಲ್ಲಿ ಮೂಡುತ್ತವೆ.","settings.worktrees.empty.title":"ಇನ್ನೂ ಯಾವುದೇ ವರ್ಕ್‌ಟ್ರೀಗಳಿಲ್ಲ","settings.worktrees.error.body":"ವರ್ಕ್‌ಟ್ರೀಗಳನ್ನು ಲೋಡ್ ಮಾಡುವಾಗ ಏನೋ ತಪ್ಪಾಗಿದೆ.","settings.worktrees.error.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","settings.worktrees.error.title":"ವರ್ಕ್‌ಟ್ರೀಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ","settings.worktrees.loading.body":"ವರ್ಕ್‌ಟ್ರೀ ವಿವರಗಳನ್ನು ಹುಡುಕಿ ತರಲಾಗುತ್ತಿದೆ.","settings.worktrees.loading.title":"ವರ್ಕ್‌ಟ್ರೀಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ","settings.worktrees.repository.loading":"ರಿಪಾಸಿಟರಿ ಮೆಟಾಡೇಟಾ ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","settings.worktrees.repository.unknown":"ತಿಳಿಯದ ರಿಪಾಸಿಟರಿ","settings.worktrees.row.conversations":"ಸಂಭಾಷಣೆಗಳು","settings.worktrees.row.conversations.empty":"ಈ ವರ್ಕ್‌ಟ್ರೀಗೆ ಮಾತುಕತೆಗಳು ಲಿಂಕ್‌ ಆಗಿಲ್ಲ.","settings.worktrees.row.conversations.loading":"ಸಂಭಾಷಣೆಯನ್ನು ಅನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","settings.worktrees.row.delete":"ಡಿಲೀಟ್ ಮಾಡಿ","settings.worktrees.row.title":"ವರ್ಕ್‌ಟ್ರೀ","sidebarElectron.addWorkspaceRoot":"ಹೊಸ ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","sidebarElectron.archiveThread":"ಥ್ರೆಡ್‌ ಆರ್ಕೈವ್ ಮಾಡಿ","sidebarElectron.archiveThreadError":"ಥ್ರೆಡ್‌ ಆರ್ಕೈವ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","sidebarElectron.collapseFolder":"ಫೋಲ್ಡರ್ ಮಡಚಿ","sidebarElectron.createStableWorktree":"ಶಾಶ್ವತ ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಿ","sidebarElectron.createStableWorktree.dialog.ariaLabel":"ಪ್ರಾಜೆಕ್ಟ್ ಹೆಸರು","sidebarElectron.createStableWorktree.dialog.cancel":"ರದ್ದುಮಾಡಿ","sidebarElectron.createStableWorktree.dialog.create":"ಹುಟ್ಟುಹಾಕಿ","sidebarElectron.createStableWorktree.dialog.placeholder":"ಪ್ರಾಜೆಕ್ಟ್ ಹೆಸರು","sidebarElectron.createStableWorktree.dialog.subtitle":"HEAD ನಿಂದ ಹೊಸ git ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಿ, ಅದನ್ನು ಪ್ರಾಜೆಕ್ಟ್‌ ಆಗಿ ಸೇರಿಸಿ, ಮತ್ತು ನೀವು ಅದನ್ನು ತೆಗೆದುಹಾಕುವ ತನಕ ಇಟ್ಟುಕೊಳ್ಳಿ.","sidebarElectron.createStableWorktree.dialog.title":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಿ ಮತ್ತು ಅದನ್ನು ಪ್ರಾಜೆಕ್ಟ್‌ ಆಗಿ ಉಳಿಸಿ","sidebarElectron.createStableWorktree.error":"ಶಾಶ್ವತ ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಲು ಆಗಲಿಲ್ಲ: {message}","sidebarElectron.debugNavLink":"ಡೀಬಗ್","sidebarElectron.editWorkspaceRootOptionName":"ಹೆಸರು ತಿದ್ದಿ","sidebarElectron.expandFolder":"ಫೋಲ್ಡರ್ ಹಿಗ್ಗಿಸಿ","sidebarElectron.groupByMenu.recency":"ಹೊತ್ತೋರಣದ ಪಟ್ಟಿ","sidebarElectron.groupByMenu.title":"ಅಣಿಗೊಳಿಸಿ","sidebarElectron.groupByMenu.workspace":"ಪ್ರಾಜೆಕ್ಟ್‌ನಿಂದ","sidebarElectron.inboxRouteNavLink":"ತನ್ನಡೆತಗಳು","sidebarElectron.markThreadUnread":"ಓದದಂತೆ ಗುರುತುಹಾಕು","sidebarElectron.missingWorkspaceRoot":"ಈ ಪ್ರಾಜೆಕ್ಟ್‌ ಫೋಲ್ಡರ್‌ ಅನ್ನು ಅಳಿಸಲಾಗಿದೆ ಇಲ್ಲವೇ ಕದಲಿಸಲಾಗಿದೆ","sidebarElectron.newThread":"ಹೊಸ ಥ್ರೆಡ್‌","sidebarElectron.newThreadInGroup":"{folder} ನಲ್ಲಿ ಹೊಸ ಥ್ರೆಡ್ ಆರಂಭಿಸಿ","sidebarElectron.noRecentThreads":"ಇತ್ತೀಚಿನ ಥ್ರೆಡ್‌ಗಳಿಲ್ಲ","sidebarElectron.noTasks":"ಯಾವುದೇ ಥ್ರೆಡ್‌ಗಳಿಲ್ಲ","sidebarElectron.noTasks.start":"ಹೊಸ ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","sidebarElectron.noTasksWithFilter":"ಫಿಲ್ಟರ್‌ಗಳಿಗೆ ಹೊಂದುವ ಥ್ರೆಡ್‌ಗಳಿಲ್ಲ","sidebarElectron.pinnedThreads":"ಸಿಕ್ಕಿಸಿದ ಥ್ರೆಡ್‌ಗಳು","sidebarElectron.recentNavLink":"ಥ್ರೆಡ್‌ಗಳು","sidebarElectron.recentThreads":"ಇತ್ತೀಚಿನ ಥ್ರೆಡ್‌ಗಳು","sidebarElectron.removeWorkspaceRootOption":"ರಿಮೂವ್ ಮಾಡಿ","sidebarElectron.renameThread":"ಥ್ರೆಡ್‌ ಮರುಹೆಸರಿಸಿ","sidebarElectron.renameThreadDialogAriaLabel":"ಥ್ರೆಡ್‌ ಹೆಸರು","sidebarElectron.renameThreadDialogCancel":"ರದ್ದುಮಾಡಿ","sidebarElectron.renameThreadDialogPlaceholder":"ಹೆಸರು ಸೇರಿಸಿ...","sidebarElectron.renameThreadDialogSave":"ಸೇವ್ ಮಾಡಿ","sidebarElectron.renameThreadDialogSubtitle":"ಚಿಕ್ಕದಾಗಿ ಗುರುತಿಸಬಲ್ಲ ಹಾಗೆ ಇಡಿ.","sidebarElectron.renameThreadDialogTitle":"ಥ್ರೆಡ್‌ ಮರುಹೆಸರಿಸಿ","sidebarElectron.renameThreadError":"ಥ್ರೆಡ್‌ ಮರುಹೆಸರಿಸಲು ಆಗಲಿಲ್ಲ","sidebarElectron.renameWorkspaceRootOptionLabel":"ಡಿಸ್‌ಪ್ಲೇ ಹೆಸರು","sidebarElectron.showLess":"ಕಡಿಮೆ ತೋರಿಸಿ","sidebarElectron.showMenu.all":"ಎಲ್ಲಾ ಥ್ರೆಡ್‌ಗಳು","sidebarElectron.showMenu.relevant":"ಸಂಬಂಧಿಸಿದ","sidebarElectron.showMenu.relevantHint":"ನಿಮ್ಮ ಗಮನ ಬೇಡುತ್ತಿರುವ ಈಗಿನ ಕವಲು, ವರ್ಕ್‌ಟ್ರೀಗಳು ಇಲ್ಲವೇ ಬೇರೆ ಥ್ರೆಡ್‌ಗಳಿಗಾಗಿ ಬರೀ ಇತ್ತೀಚಿನ ಥ್ರೆಡ್‌ಗಳನ್ನು ತೋರಿಸಿ","sidebarElectron.showMenu.title":"ತೋರಿಸಿ","sidebarElectron.showMenu.tooltip":"ಥ್ರೆಡ್‌ಗಳನ್ನು ಫಿಲ್ಟರ್‌ ಮಾಡಿ, ಬೇರ್ಪಡಿಸಿ ಮತ್ತು ಅಣಿಗೊಳಿಸಿ","sidebarElectron.showMenu.trigger":"ಸೈಡ್‌ಬಾರ್‌ ಥ್ರೆಡ್‌ಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ","sidebarElectron.showMore":"ಇನ್ನಷ್ಟು ತೋರಿಸು","sidebarElectron.skillsAppsRouteNavLink":"ಸ್ಕಿಲ್‌ಗಳು ಮತ್ತು ಆಪ್‌ಗಳು","sidebarElectron.skillsRouteNavLink":"ಸ್ಕಿಲ್ಸ್","sidebarElectron.sortMenu.created":"ಕ್ರಿಯೇಟ್ ಮಾಡಿದ್ದು","sidebarElectron.sortMenu.title":"ಬೇರ್ಪಡಿಸಿ","sidebarElectron.sortMenu.updated":"ಅಪ್ಡೇಟ್ ಮಾಡಲಾಗಿದೆ","sidebarElectron.taskNavigation":"ತನ್ನಡೆತ ಫೋಲ್ಡರ್‌ಗಳು","sidebarElectron.tasksInFolder":"{folder} ನಲ್ಲಿರುವ ತನ್ನಡೆತಗಳು","sidebarElectron.workspaceOptions":"{folder} ಗೆ ಪ್ರಾಜೆಕ್ಟ್ ಕ್ರಮಗಳು","sidebarElectron.worktreeGroupTooltip":"ಇದು git ವರ್ಕ್‌ಟ್ರೀ ಆಗಿದೆ","skills.appsPage.apps.enableToggle":"ಆಪ್‌ ಎನೇಬಲ್ ಮಾಡಿ","skills.appsPage.apps.installOnChatGpt":"ChatGPT ಯಲ್ಲಿ ಅಳವಡಿಸಿ","skills.appsPage.apps.manageOnChatGpt":"ChatGPT ಯಲ್ಲಿ ನಿರ್ವಹಿಸಿ","skills.appsPage.apps.noDescription":"ಬಣ್ಣನೆಯಿಲ್ಲ","skills.appsPage.createSkill":"ಹೊಸ ಸ್ಕಿಲ್","skills.appsPage.empty.apps":"ಆಪ್‌ಗಳು ಕಂಡುಬರಲಿಲ್ಲ","skills.appsPage.empty.discoverApps":"ಕಂಡುಹಿಡಿಯಲು ಆಪ್‌ಗಳಿಲ್ಲ","skills.appsPage.empty.installedApps":"ನೆಲೆಗೊಳಿಸಿದ ಆಪ್‌ಗಳಿಲ್ಲ","skills.appsPage.empty.skills":"ಸ್ಕಿಲ್‌ಗಳು ಕಂಡುಬಂದಿಲ್ಲ","skills.appsPage.heading":"ಸ್ಕಿಲ್‌ಗಳು ಮತ್ತು ಆಪ್‌ಗಳು","skills.appsPage.search.all":"ಸ್ಕಿಲ್‌ಗಳು ಮತ್ತು ಆಪ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.search.all.label":"ಸ್ಕಿಲ್‌ಗಳು ಮತ್ತು ಆಪ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.search.apps":"ಆಪ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.search.apps.label":"ಆಪ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.search.skills":"ಸ್ಕಿಲ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.search.skills.label":"ಸ್ಕಿಲ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.section.apps":"ಆಪ್‌ಗಳು","skills.appsPage.section.apps.seeAll":"ಎಲ್ಲಾ {count} ಆಪ್‌ಗಳನ್ನು ನೋಡಿ","skills.appsPage.section.discover":"ಕಂಡುಹಿಡಿಯಿರಿ","skills.appsPage.section.installedApps":"ಅಳವಡಿಸಲಾಗಿದೆ","skills.appsPage.section.skills":"ಸ್ಕಿಲ್‌ಗಳು","skills.appsPage.section.skills.seeAll":"ಎಲ್ಲಾ {count} ಸ್ಕಿಲ್‌ಗಳನ್ನು ನೋಡಿ","skills.appsPage.subheading":"Codex ಗೆ ಸೂಪರ್‌ಪವರ್‌ಗಳನ್ನು ನೀಡಿ. <link>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</link>","skills.appsPage.tab.apps":"ಆಪ್‌ಗಳು","skills.appsPage.tab.recommended":"ಶಿಫಾರಸು ಮಾಡಲಾಗಿದೆ","skills.appsPage.tab.skills":"ಸ್ಕಿಲ್‌ಗಳು","skills.card.contentsError":"ಸ್ಕಿಲ್ ಕಾಂಟೆಂಟ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ.","skills.card.disable":"ಡಿಸೇಬಲ್ ಮಾಡಿ","skills.card.disableSuccess":"{skillName} ಕೌಶಲ್ಯ ನಿಷ್ಕ್ರಿಯಗೊಳಿಸಲಾಗಿದೆ","skills.card.disabledBadge":"ಡಿಸೇಬಲ್ ಮಾಡಲಾಗಿದೆ","skills.card.enable":"ಎನೇಬಲ್ ಮಾಡಿ","skills.card.enableSuccess":"{skillName} ಕೌಶಲ್ಯ ಸಕ್ರಿಯಗೊಳಿಸಲಾಗಿದೆ","skills.card.loadingContents":"ಸ್ಕಿಲ್ ಕಾಂಟೆಂಟ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","skills.card.more":"ಹೆಚ್ಚಿನ ಅಕ್ಷನ್ಸ್","skills.card.open":"ತೆರೆಯಿರಿ","skills.card.removeFailed":"ಸ್ಕಿಲ್ ಅನ್‌ಇನ್‌ಸ್ಟಾಲ್ ಮಾಡುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ","skills.card.removeSuccess":"{skillName}ಕೌಶಲ್ಯವನ್ನು ಅನ್‌ಇನ್‌ಸ್ಟಾಲ್ ಮಾಡಲಾಗಿದೆ","skills.card.toggleEnabledError":"ಸ್ಕಿಲ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","skills.card.try":"ಪ್ರಯತ್ನಿಸಿ","skills.card.trySkill":"ಸ್ಕಿಲ್‌ ಬಳಸಿ ನೋಡಿ","skills.card.uninstall":"ಅನ್‌ಇನ್‌ಸ್ಟಾಲ್ ಮಾಡಿ","skills.hero.dotLabel":"ಸ್ಲೈಡ್ {index} ಕ್ಕೆ ಹೋಗಿ","skills.hero.next":"ಮುಂದಿನ ವಿಶೇಷವಾದ ಸ್ಕಿಲ್‌","skills.hero.trySkill":"ಸ್ಕಿಲ್‌ ಬಳಸಿ ನೋಡಿ","skills.page.createSkill":"ಹೊಸ ಸ್ಕಿಲ್","skills.page.empty":"ಸ್ಕಿಲ್ಸ್ ಕಂಡುಬಂದಿಲ್ಲ","skills.page.filteredEmpty":"ನಿಮ್ಮ ಫಿಲ್ಟರ್‌ಗಳಿಗೆ ಸರಿಹೊಂದುವ ಸ್ಕಿಲ್‌ಗಳಿಲ್ಲ","skills.page.filteredEmptyDescription":"ನಿಮ್ಮ ಹುಡುಕಾಟ ಇಲ್ಲವೇ ಸ್ಕೋಪ್‌ ಫಿಲ್ಟರ್‌ಗಳನ್ನು ಸರಿದೂಗಿಸಿ ನೋಡಿ","skills.page.heading":"ಸ್ಕಿಲ್‌ಗಳು","skills.page.loading":"ಸ್ಕಿಲ್ಸ್ ಅನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","skills.page.refreshSkills":"ರಿಫ್ರೆಶ್ ಮಾಡಿ","skills.page.refreshSkillsToUseNew":"ಹೊಸ ಸ್ಕಿಲ್‌(ಗಳನ್ನು) ರಿಫ್ರೆಶ್ ಮಾಡಿ","skills.page.search":"ಸ್ಕಿಲ್ಸ್ ಸರ್ಚ್ ಮಾಡಿ","skills.page.search.label":"ಸ್ಕಿಲ್ಸ್ ಸರ್ಚ್ ಮಾಡಿ","skills.page.subheading":"ಕೋಡೆಕ್ಸ್‌ಗೆ ಸೂಪರ್‌ಪವರ್‌ಗಳನ್ನು ನೀಡಿ. <link>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</link>","skills.preview.copyPrompt":"ಪ್ರಾಂಪ್ಟ್ ಕಾಪಿ ಮಾಡಿ","skills.preview.examplePrompt":"ಉದಾಹರಣೆ ಪ್ರಾಂಪ್ಟ್","skills.recommended.error":"ಶಿಫಾರಸು ಮಾಡಲಾದ ಸ್ಕಿಲ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ","skills.recommended.install":"ಇನ್ಸ್ಟಾಲ್ ಮಾಡಿ","skills.recommended.installSkill":"ಸ್ಕಿಲ್‌ ಅಳವಡಿಸಿ","skills.recommended.installSuccess":"{skillName} ಕೌಶಲ್ಯ ಇನ್ಸ್ಟಾಲ್ ಮಾಡಲಾಗಿದೆ","skills.recommended.installed":"ಇನ್ಸ್ಟಾಲ್ ಮಾಡಲಾಗಿದೆ","skills.scope.admin":"ಅಡ್ಮಿನ್‌","skills.scope.adminInstalled":"ಅಡ್ಮಿನ್‌ ಅಳವಡಿಸಿದ","skills.scope.builtIn":"ಸಿಸ್ಟಮ್","skills.scope.personal":"ಪರ್ಸನಲ್","skills.scope.repo":"ರೆಪೊ","skills.scope.system":"ಸಿಸ್ಟಮ್","skills.scope.team":"ಟೀಮ್","skills.scope.user":"ಯೂಸರ್","skills.section.installed":"ಇನ್ಸ್ಟಾಲ್ ಮಾಡಲಾಗಿದೆ","skills.section.recommended":"ಶಿಫಾರಸು ಮಾಡಲಾಗಿದೆ","story.slidingToggle.existing":"ಈಗ ಇರುವ","story.slidingToggle.fromLocal":"ಸ್ಥಳೀಯದಿಂದ","story.slidingToggle.new":"ಹೊಸ","story.slidingToggle.toLocal":"ಸ್ಥಳೀಯಕ್ಕೆ","terminal.close":"ಟರ್ಮಿನಲ್ ಮುಚ್ಚಿ","terminal.title":"ಟರ್ಮಿನಲ್","thinkingShimmer.default":"ಥಿಂಕ್ ಮಾಡುತ್ತಿದೆ","threadEnvIcon.cloudTooltip":"ಈ ಮಾತುಕತೆ ಕೋಡೆಕ್ಸ್‌ ಕ್ಲೌಡ್‌ನಲ್ಲಿ ನಡೆಯುತ್ತಿದೆ.","threadEnvIcon.localTooltip":"ಈ ಮಾತುಕತೆ ಸ್ಥಳೀಯವಾಗಿ ನಡೆಯುತ್ತಿದೆ.","threadEnvIcon.worktreeTooltip":"ಈ ಕಾನ್ವರ್ಸೆಷನ್ ನ ಸ್ಥಳೀಯ git ವರ್ಕ್‌ಟ್ರೀನಲ್ಲಿ ನಡೆಯುತ್ತಿದೆ.","threadHeader.archiveConfirmCancel":"ರದ್ದುಮಾಡಿ","threadHeader.archiveConfirmConfirm":"ಆರ್ಕೈವ್","threadHeader.archiveConfirmSubtitle":"ನೀವು ಅದನ್ನು ನಿಮ್ಮ ಆರ್ಕೈವ್‌ ಮಾಡಿದ ಥ್ರೆಡ್‌ಗಳಲ್ಲಿ ಆಮೇಲೆ ಪಡೆಯಬಹುದು.","threadHeader.archiveConfirmTitle":"ಥ್ರೆಡ್‌ ಆರ್ಕೈವ್ ಮಾಡಬೇಕೇ?","threadHeader.copyAppLink":"ಡೀಪ್‌ಲಿಂಕ್‌ ಕಾಪಿ ಮಾಡಿ","threadHeader.copySessionId":"ಸೆಶನ್‌ ID ಕಾಪಿ ಮಾಡಿ","threadHeader.copyWorkingDirectory":"ಕೆಲಸಮಾಡುವ ಡೈರೆಕ್ಟರಿ ಕಾಪಿ ಮಾಡಿ","threadHeader.forkIntoLocal":"ಸ್ಥಳೀಯಕ್ಕೆ ವಿಭಜನೆ ಮಾಡಿ","threadHeader.forkIntoWorktree":"ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಗೆ ವಿಭಜನೆ ಮಾಡಿ.","threadHeader.forkPendingWorktreePrompt":"ಈ ಸಂಭಾಷಣೆಯನ್ನು ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಗೆ ವಿಭಜನೆ ಮಾಡಿ.","threadHeader.forkPendingWorktreeTitle":"ವಿಭಜಿಸಲಾದ ಸಂಭಾಷಣೆ","threadHeader.forkThreadError":"ಥ್ರೆಡ್ ಅನ್ನು ವಿಭಜಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ.","threadHeader.forkThreadRequiresGitRepo":"ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಗೆ ವಿಭಜನೆ ಮಾಡಲು Git ರೆಪೊಸಿಟರಿ ಅಗತ್ಯವಿದೆ.","threadHeader.moreActions":"ಥ್ರೆಡ್‌ನ ಕ್ರಮಗಳು","threadPage.newThread":"ಹೊಸ ಥ್ರೆಡ್‌","threadPage.runAction.changeEnvironment":"ಪರಿಸರವನ್ನು ಬದಲಾಯಿಸಿ","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} ಕ್ರಿಯೆಗಳು","threadPage.runAction.environmentSelector.label":"ಪರಿಸರವನ್ನು ಆಯ್ಕೆ ಮಾಡಿ","threadPage.runAction.label":"ರನ್ ಮಾಡಿ","threadPage.runAction.missing.label":"run ಆಕ್ಶನ್‌ ನೆಲೆಗೊಳಿಸಿ","threadPage.runAction.setup.commandLabel":"ಎಸಗಲು ಕಮಾಂಡ್‌‌","threadPage.runAction.setup.description":"ಅವಲಂಬನೆಗಳನ್ನು ಹೇಗೆ ಅಳವಡಿಸಬೇಕೆಂದು ಕೋಡೆಕ್ಸ್‌ಗೆ ಹೇಳಿ ಮತ್ತು ನಿಮ್ಮ ಆಪ್‌ ಆರಂಭಿಸಿ.","threadPage.runAction.setup.editMore":"ಪರಿಸರ ಸೆಟಿಂಗ್‌ಗಳು","threadPage.runAction.setup.placeholder":"ಉದಾ: npm install npm run","threadPage.runAction.setup.submit":"ಉಳಿಸಿ ಮತ್ತು ಎಸಗಿ","threadPage.runAction.setup.title":"ರನ್ ಮಾಡಿ","threadPage.runAction.tooltip.withEnvironment":"{environmentName} ಕ್ರಿಯೆಗಳು","threadPage.toggleDiffPanel":"diff ಪ್ಯಾನಲ್‌ ಟಾಗಲ್ ಮಾಡಿ‌","threadPage.toggleTerminal":"ಟರ್ಮಿನಲ್ ಟಾಗಲ್‌","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ಫೋಲ್ಡರ್ ತೆರೆಯಿರಿ","toolSummaryForCmd.exploredFiles":"<verb>ಪಟ್ಟಿಮಾಡಲಾದ</verb> ಫೈಲ್‌ಗಳು","toolSummaryForCmd.exploredFilesInPath":"{path} ನಲ್ಲಿ <verb>ಪಟ್ಟಿಮಾಡಲಾದ</verb> ಫೈಲ್‌ಗಳು","toolSummaryForCmd.exploringFiles":"ಫೈಲ್‌ಗಳನ್ನು <verb>ಪಟ್ಟಿಮಾಡಲಾಗುತ್ತಿದೆ</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} ನಲ್ಲಿ ಫೈಲ್‌ಗಳನ್ನು <verb>ಪಟ್ಟಿಮಾಡಲಾಗುತ್ತಿದೆ</verb>","toolSummaryForCmd.finishedBackgroundTerminal":"ಹಿನ್ನೆಲೆ ಟರ್ಮಿನಲ್‌ ಮುಗಿದಿದೆ","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"ಹಿನ್ನೆಲೆ ಟರ್ಮಿನಲ್‌ {command} ನೊಂದಿಗೆ ಮುಗಿದಿದೆ","toolSummaryForCmd.ranGenericCommand":"<status>ಕಮಾಂಡ್ ರನ್ ಮಾಡಲಾಗಿದೆ</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"{command}{timer} <status>ಎಸಗಲಾಯಿತು</status>","toolSummaryForCmd.read":"{path} <verb>ಓದಿ</verb>","toolSummaryForCmd.runningGenericCommand":"<status>ಕಮಾಂಡ್ ರನ್ ಮಾಡಲಾಗುತ್ತಿದೆ</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} ಕ್ಕಾಗಿ","toolSummaryForCmd.searchedFor":"{query} ಅನ್ನು <verb>ಹುಡುಕಲಾಯಿತು</verb>","toolSummaryForCmd.searchedForFiles":"ಫೈಲ್‌ಗಳಿಗಾಗಿ <verb>ಹುಡುಕಲಾಯಿತು</verb>","toolSummaryForCmd.searchedForInPath":"{path} ನಲ್ಲಿ {query} ಅನ್ನು <verb>ಹುಡುಕಲಾಯಿತು</verb>","toolSummaryForCmd.searchingFor":"{query} ಅನ್ನು <verb>ಹುಡುಕಲಾಗುತ್ತಿದೆ</verb>","toolSummaryForCmd.searchingForFiles":"ಫೈಲ್‌ಗಳಿಗಾಗಿ <verb>ಹುಡುಕಲಾಗುತ್ತಿದೆ</verb>","toolSummaryForCmd.searchingForInPath":"{path} ನಲ್ಲಿ {query} ಅನ್ನು <verb>ಹುಡುಕಲಾಗುತ್ತಿದೆ</verb>","toolSummaryForCmd.startedBackgroundTerminal":"ಹಿನ್ನೆಲೆ ಟರ್ಮಿನಲ್ ಅನ್ನು ಆರಂಭಿಸಲಾಗಿದೆ","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"ಹಿನ್ನೆಲೆ ಟರ್ಮಿನಲ್ ಅನ್ನು {command} ನೊಂದಿಗೆ ಆರಂಭಿಸಲಾಗಿದೆ","traceRecording.details.noteLabel":"ಇದು ನಡೆದಾಗ ನೀವೇನು ಮಾಡುತ್ತಿದ್ದಿರಿ? (ಕಡ್ಡಾಯವಲ್ಲ)","traceRecording.details.notePlaceholder":"ದೊಡ್ಡ ಥ್ರೆಡ್‌ಗೆ ನ್ಯಾವಿಗೇಟ್ ಮಾಡಲಾಗಿದೆ, ನಂತರ ಟ್ಯಾಬ್‌ಗಳನ್ನು ಪದೇ ಪದೇ ಬದಲಾಯಿಸಲಾಗಿದೆ...","traceRecording.details.submit":"ಕುರುಹು ಕಳುಹಿಸಿ","traceRecording.details.subtitle":"ಕಾರ್ಯಕ್ಷಮತೆಯ ಸಮಸ್ಯೆಗಳನ್ನು ಪತ್ತೆಹಚ್ಚಲು ಸಹಾಯ ಮಾಡಲು ನಾವು ಈ ಪ್ರೊಫೈಲ್ ಟ್ರೇಸ್ ಅನ್ನು ಕಳುಹಿಸಬಹುದು.","traceRecording.details.title":"ಪ್ರೊಫೈಲ್‌ ಕುರುಹು ಕಳುಹಿಸಬೇಕೇ?","traceRecording.progress.subtitle":"ಇದು ಮುಗಿಯುವಾಗ ಕೋಡೆಕ್ಸ್‌ ತೆರೆದಿಟ್ಟುಕೊಳ್ಳಿ.","traceRecording.saving.title":"ಕುರುಹು ಉಳಿಸಲಾಗುತ್ತಿದೆ...","traceRecording.startDetails.cancel":"ರದ್ದುಮಾಡಿ","traceRecording.startDetails.submit":"ಸರಿ, ರೆಕಾರ್ಡಿಂಗ್ ಆರಂಭಿಸಿ","traceRecording.startDetails.subtitle":"ನೀವು ಸರಿ ಕ್ಲಿಕ್ ಮಾಡಿದ ನಂತರ, ಕಾರ್ಯಕ್ಷಮತೆಯ ಸಮಸ್ಯೆಯನ್ನು ಪುನರುತ್ಪಾದಿಸಿ, ನಂತರ ಟ್ರೇಸ್ ಅನ್ನು ನಿಲ್ಲಿಸಲು ಮತ್ತು ಪರಿಶೀಲಿಸಲು ತೇಲುವ ಕೆಂಪು ಸೂಚಕವನ್ನು ಕ್ಲಿಕ್ ಮಾಡಿ.","traceRecording.startDetails.title":"ಕುರುಹು ರೆಕಾರ್ಡಿಂಗ್‌ ಹೇಗೆ ಕೆಲಸ ಮಾಡುತ್ತದೆ","traceRecording.stopButton.ariaLabel":"ಕುರುಹು ರೆಕಾರ್ಡಿಂಗ್ ನಿಲ್ಲಿಸಿ","traceRecording.upload.successToast":"ಪ್ರೊಫೈಲ್‌ ಕುರುಹು ಕಳುಹಿಸಲಾಗಿದೆ.","traceRecording.uploading.title":"ಕುರುಹು ಅಪ್ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","wham.diff.addComment":"ಕಾಮೆಂಟ್ ಸೇರಿಸಿ","wham.diff.binaryFile":"ಬೈನರಿ ಫೈಲ್ ತೋರಿಸಲಾಗಿಲ್ಲ.","wham.diff.noContent":"ಕಂಟೆಂಟ್ ಇಲ್ಲ","wham.fileTag.deleted":"ಡಿಲೀಟ್ ಮಾಡಲಾಗಿದೆ","wham.fileTag.new":"ಹೊಸ","wham.formattedRelativeDateTime.compactDaysAgo":"{value}ದಿನ","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}ತಿಂಗಳು","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}ವಾರ","wham.formattedRelativeDateTime.compactYearsAgo":"{value}ವರ್ಷ","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"ನಿಮ್ಮ ಟಾಸ್ಕ್ ಅನ್ನು ಮಾಡುತ್ತಿದ್ದೀನಿ","wham.whamProposedTask.title":"ಸೂಚಿಸಲಾದ ಟಾಸ್ಕ್","wham.whamProposedTask.useSuggestion":"ಸಲಹೆ ಬಳಸಿ","workspaceRootDialog.addError":"ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಲು ಆಗಲಿಲ್ಲ","workspaceRootDialog.cancel":"ರದ್ದುಮಾಡಿ","workspaceRootDialog.confirmAdd":"ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","workspaceRootDialog.confirmPick":"ಪ್ರಾಜೆಕ್ಟ್ ಬಳಸಿ","workspaceRootDialog.description":"ಪ್ರಾಜೆಕ್ಟ್ ಆಗಿ ಬಳಸಲು {host} ನಲ್ಲಿ ದಾರಿ ಬರೆಯಿರಿ.","workspaceRootDialog.pathLabel":"ಪ್ರಾಜೆಕ್ಟ್ ದಾರಿ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"ಪ್ರಾಜೆಕ್ಟ್ ದಾರಿ ಸೇರಿಸಿ","workspaceRootDialog.title.pick":"ಪ್ರಾಜೆಕ್ಟ್ ದಾರಿ ಆಯ್ಕೆಮಾಡಿ","worktreeInitV2.cancel":"ರದ್ದುಮಾಡಿ","worktreeInitV2.notification.failedTitle":"ವರ್ಕ್‌ಟ್ರೀ ನೆಲೆಗೊಳಿಕೆ ಆಗಲಿಲ್ಲ","worktreeInitV2.output.empty":"ಔಟ್‌ಪುಟ್‌ಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ...","worktreeInitV2.status.error":"ವರ್ಕ್‌ಟ್ರೀ ನೆಲೆಗೊಳಿಕೆ ಆಗಲಿಲ್ಲ.","worktreeInitV2.status.running":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ ಮತ್ತು ನೆಲೆಗೊಳಿಕೆ ನಡೆಸಲಾಗುತ್ತಿದೆ.","worktreeInitV2.status.runningFork":"ಈ ಸಂಭಾಷಣೆಯನ್ನು ವಿಭಜಿಸಲು ಹೊಸ ವರ್ಕ್‌ಟ್ರೀ ನಿರ್ಮಿಸಲಾಗುತ್ತಿದೆ.","worktreeInitV2.status.success":"ವರ್ಕ್‌ಟ್ರೀ ಅಣಿಯಾಗಿದೆ","worktreeInitV2.title":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ","worktreeInitV2.workLocallyInstead":"ಬದಲಿಗೆ ಸ್ಥಳೀಯವಾಗಿ ಕೆಲಸ ಮಾಡಿ","worktreeRestoreBanner.body":"ಡಿಸ್ಕ್ ಜಾಗವನ್ನು ಉಳಿಸಲು ಈ ಥ್ರೆಡ್‌ನ ವರ್ಕ್‌ಟ್ರೀ ಅನ್ನು ತೆಗೆದುಹಾಕಲಾಗಿದೆ.","worktreeRestoreBanner.missing.body":"ಈ ಥ್ರೆಡ್‌ನ ಕೆಲಸದ ಡೈರೆಕ್ಟರಿ ಈಗ ಇಲ್ಲ.","worktreeRestoreBanner.missing.title":"ಈಗಿನ ಕೆಲಸದ ಡೈರೆಕ್ಟರಿ ಕಾಣೆಯಾಗಿದೆ","worktreeRestoreBanner.restore.error":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಮರುಸ್ಥಾಪಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ: {message}","worktreeRestoreBanner.restore.success":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಮರುಸ್ಥಾಪಿಸಲಾಗಿದೆ","worktreeRestoreBanner.restoreCta":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಮರುಸ್ಥಾಪಿಸಿ","worktreeRestoreBanner.title":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಸ್ವಚ್ಛಗೊಳಿಸಲಾಗಿದೆ"};export{e as default};
+const e={"CopyButton.copyTooltip":"ಕಾಪಿ ಮಾಡಿ","app.sidebar.hide":"ಸೈಡ್‌ಬಾರನ್ನು ಮರೆಮಾಡಿ","app.sidebar.show":"ಸೈಡ್‌ಬಾರನ್ನು ತೋರಿಸಿ","app.sidebar.tooltip":"ಸೈಡ್‌ಬಾರ್ ಅನ್ನು ಟಾಗಲ್ ಮಾಡಿ","appHeader.installUpdate":"ಅಪ್ಡೇಟ್ ಮಾಡಿ","appSunset.body":"ಈ ಆಪ್‌ನ ಈ ಆವೃತ್ತಿಗೆ ಇನ್ನು ಬೆಂಬಲವಿಲ್ಲ. ದಯವಿಟ್ಟು ಇತ್ತೀಚಿನ ಆವೃತ್ತಿಯನ್ನು <here>ಇಲ್ಲಿ</here> ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ.","appSunset.title":"ಅಪ್ಡೇಟ್ ಅವಶ್ಯಕತೆಯಿದೆ","automation.updateDirective.create":"ಕ್ರಿಯೇಟ್ ಮಾಡಿ","automation.updateDirective.open":"ತೆರೆಯಿರಿ","automation.updateDirective.untitled":"ಹೆಸರಿಲ್ಲದ ತನ್ನಡೆತ","automation.updateDirective.update":"ಅಪ್ಡೇಟ್ ಮಾಡಿ","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# ಪ್ರಯತ್ನ} other {# ಪ್ರಯತ್ನಗಳು}}","cloudTaskRow.archiveError":"ಕೆಲಸವನ್ನು ಆರ್ಕೈವ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","code.diff.requestChange":"ಚೇಂಜ್ ಕೋರಿಕೊಳ್ಳಿ","code.diffComment.cancel":"ರದ್ದುಮಾಡಿ","code.diffComment.comment":"ಅನಿಸಿಕೆ","code.diffComment.delete":"ಡಿಲೀಟ್ ಮಾಡಿ","code.diffComment.save":"ಸೇವ್ ಮಾಡಿ","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"ಯಾವುದೇ ದೊರೆತಗಳನ್ನು ರಿಪೋರ್ಟ್‌ ಮಾಡಲಾಗಿಲ್ಲ.","codex.alert.closeAriaLabel":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.appUpsellBanner.cbpApi.message":"ಕೋಡೆಕ್ಸ್‌ ಆಪ್‌ನೊಂದಿಗೆ ಬಿರುಸಾಗಿ ಕಟ್ಟಿ. ಈಗಲೇ ಡೌನ್‌ಲೋಡ್‌ ಮಾಡಿ ಇಲ್ಲವೇ {learnMoreLink}. ","codex.appUpsellBanner.download":"ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ‌‌","codex.appUpsellBanner.freeGo.message":"ಮಾರ್ಚ್‌ 2ನೇ ತೇದಿಯವರೆಗೆ ನಿಮ್ಮ ಪ್ಲಾನ್‌ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ ಇರುತ್ತದೆ. ಬಿರುಸಾಗಿ ಕಟ್ಟಲು ಕೋಡೆಕ್ಸ್‌ ಆಪ್‌ ಬಳಸಿ ನೋಡಿ.","codex.appUpsellBanner.later":"ಆಮೇಲೆ","codex.appUpsellBanner.learnMoreLowercase":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","codex.appUpsellBanner.new":"ಹೊಸ","codex.appUpsellBanner.proPlusBusiness.message":"ಏಪ್ರಿಲ್ 2ನೇ ತೇದಿಯವರೆಗೆ 2x ರೇಟ್‌ ಎಲ್ಲೆಗಳೊಂದಿಗೆ ಕೋಡೆಕ್ಸ್‌ ಆಪ್‌ ಬಳಸಿ ನೋಡಿ. ಈಗಲೇ ಡೌನ್‌ಲೋಡ್‌ ಮಾಡಿ ಇಲ್ಲವೇ {learnMoreLink}.","codex.appUpsellBanner.title":"ಕೋಡೆಕ್ಸ್‌ ಆಪ್‌‌","codex.applyDropdown.header.changes":"ಚೇಂಜಸ್","codex.applyDropdown.header.fileCount":"{count, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}}","codex.applyDropdown.header.rows":"ಅಡ್ಡಸಾಲುಗಳು","codex.applyDropdown.header.title":"ಚೇಂಜಸ್ ಅಪ್ಲೈ ಮಾಡಿ","codex.applyDropdown.header.workspace":"ಪ್ರಾಜೆಕ್ಟ್","codex.applyDropdown.results.conflicted":"{count, plural, one {1 ಫೈಲ್‌ಗೆ ತಿಕ್ಕಾಟವಿದೆ:} other {{count} ಫೈಲ್‌ಗಳಿಗೆ ತಿಕ್ಕಾಟವಿದೆ:}}","codex.applyDropdown.results.empty":"ಯಾವುದೇ ಫೈಲ್‌ಗಳನ್ನು ಕಾಪಿ ಮಾಡಿಲ್ಲ","codex.applyDropdown.results.skipped":"{count, plural, one {1 ಫೈಲ್‌ ಅನ್ನು ಬಿಟ್ಟುಬಿಡಲಾಗಿದೆ:} other {{count} ಫೈಲ್‌ಗಳನ್ನು ಬಿಟ್ಟುಬಿಡಲಾಗಿದೆ:}}","codex.applyOrRevertBanner.apply":"ಅಪ್ಲೈ ಮಾಡಿ","codex.applyOrRevertBanner.applyMessage":"ಚೇಂಜಸ್ ಅನ್ನು ಬಳಸಿ ಇಲ್ಲೇ ಕಂಟಿನ್ಯೂ ಮಾಡಬೇಕೇ?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ಈ ಟಾಸ್ಕ್ ಅನ್ನು {environment} ನಲ್ಲಿ ಮಾಡಿರುವುದರಿಂದ ಅದನ್ನು ಸರಾಗವಾಗಿ ಅಪ್ಲೈ ಮಾಡಲು ಆಗದಿರಬಹುದು.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment} ನಲ್ಲಿ ಚೇಂಜಸ್ ಮಾಡಲಾಗಿದೆ, ಹಾಗಾಗಿ ಅದನ್ನು ಸರಾಗವಾಗಿ ಅಪ್ಲೈ ಮಾಡಲು ಆಗದಿರಬಹುದು.","codex.applyOrRevertBanner.reapply":"ಮತ್ತೆ ಬಳಸಿ","codex.applyOrRevertBanner.revert":"ರೀವರ್ಟ್ ಮಾಡಿ","codex.applyOrRevertBanner.revertMessage":"ಅಪ್ಲೈ ಮಾಡಿದ ಚೇಂಜಸ್ ಅನ್ನು ಹಿಂದಿದ್ದಂತೆ ಮಾಡಬೇಕೇ?","codex.applyResultsDialog.applied":"ಸರಾಗವಾಗಿ ಅಪ್ಲೈ ಮಾಡಲಾಗಿದೆ ({count})","codex.applyResultsDialog.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.applyResultsDialog.conflicted":"ತಿಕ್ಕಾಟವಿರುವುದು ({count})","codex.applyResultsDialog.noDetails":"ಫೈಲ್ ವಿವರಗಳು ದೊರೆಯುತ್ತಿಲ್ಲ.","codex.applyResultsDialog.skipped":"{count} ಬಿಟ್ಟುಬಿಡಲಾಯಿತು","codex.applyResultsDialog.title":"ಫಲಿತಾಂಶಗಳನ್ನು ಅಪ್ಲೈ ಮಾಡಿ","codex.archiveInfo":"{dataControlsLink} ನಲ್ಲಿ ಆರ್ಕೈವ್ ಮಾಡಿದ ಚಾಟ್‌ಗಳನ್ನು ನೋಡಿ.","codex.archiveInfo.dataControlsLink":"ಡೇಟಾ ಹತೋಟಿಗಳು","codex.archiveInfo.electron":"{settingsLink} ನಲ್ಲಿ ಆರ್ಕೈವ್ ಮಾಡಿದ ಚಾಟ್‌ಗಳನ್ನು ನೋಡಿ","codex.archiveInfo.extension":"ನಿಮ್ಮ .codex ಫೋಲ್ಡರ್‌ನಲ್ಲಿ ಆರ್ಕೈವ್‌ ಮಾಡಿದ ಚಾಟ್‌ಗಳನ್ನು ನೋಡಿ.","codex.archiveInfo.settingsLink":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.banner.content.description":"ಟಾಸ್ಕ್ ಗಳನ್ನು ಒಟ್ಟೊಟ್ಟಿಗೆ ಮಾಡಿ, ಎಲ್ಲಾದರೂ ಮುನ್ನಡೆಯ ಜಾಡುಹಿಡಿಯಿರಿ, ಹಾಗೂ AI ನೊಂದಿಗೆ PR ಗಳನ್ನು ರಿವ್ಯೂ ಮಾಡಿ.","codex.banner.content.headline":"ಕೋಡೆಕ್ಸ್ ಎಲ್ಲವನ್ನೂ ಮಾಡುತ್ತದೆ.","codex.cloudTaskRow.archiveTask":"ಟಾಸ್ಕ್ ಆರ್ಕೈವ್ ಮಾಡಿ","codex.cloudTaskRow.confirmArchiveTask":"ದೃಢೀಕರಿಸಿ","codex.command.feedback":"ಫೀಡ್ಬ್ಯಾಕ್","codex.command.findInThread":"ಹುಡುಕಿ","codex.command.forceReloadSkills":"ಸ್ಕಿಲ್‌ಗಳನ್ನು ಒತ್ತಾಯದಿಂದ ಮತ್ತೆ ಲೋಡ್‌ ಮಾಡಿ","codex.command.logOut":"ಲಾಗ್ ಔಟ್","codex.command.manageTasks":"ಟಾಸ್ಕ್ ಗಳನ್ನು ನಿರ್ವಹಿಸಿ","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"ಹಿಂದಕ್ಕೆ","codex.command.navigateForward":"ಮುಂದಕ್ಕೆ","codex.command.newThread":"ಹೊಸ ಥ್ರೆಡ್‌","codex.command.nextThread":"ಮುಂದಿನ ಥ್ರೆಡ್","codex.command.openFolder":"ಫೋಲ್ಡರ್ ತೆರೆಯಿರಿ","codex.command.openSkills":"ಸ್ಕಿಲ್‌ಗಳಿಗೆ ಹೋಗಿ","codex.command.openThreadOverlay":"ಥ್ರೆಡ್‌ ಹೊರತೆಗೆಯಿರಿ","codex.command.personalitySettings":"ಪರ್ಸನಾಲಿಟಿ","codex.command.previousThread":"ಹಿಂದಿನ ಥ್ರೆಡ್‌","codex.command.settings":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.command.toggleDiffPanel":"diff ಪ್ಯಾನಲ್‌ ಟಾಗಲ್ ಮಾಡಿ‌","codex.command.toggleSidebar":"ಸೈಡ್‌ಬಾರ್ ಅನ್ನು ಟಾಗಲ್ ಮಾಡಿ","codex.command.toggleTerminal":"ಟರ್ಮಿನಲ್ ಟಾಗಲ್‌","codex.commandGroup.app":"ಆ್ಯಪ್‌","codex.commandGroup.configure":"ಸಂರಚನೆ ಮಾಡಿ","codex.commandGroup.navigation":"ನ್ಯಾವಿಗೇಷನ್","codex.commandGroup.panels":"ಪ್ಯಾನಲ್‌ಗಳು","codex.commandGroup.skills":"ಸ್ಕಿಲ್‌ಗಳು","codex.commandGroup.thread":"ಥ್ರೆಡ್","codex.commandGroup.workspace":"ಪ್ರಾಜೆಕ್ಟ್","codex.commandMenu.noResults":"ಹೊಂದುವಂತದ್ದು ಸಿಗಲಿಲ್ಲ","codex.commandMenu.searchPlaceholder":"ಕಮಾಂಡ್‌ಗಳನ್ನು ಹುಡುಕಿ","codex.commandMenu.suggestedGroup":"ಕಣ್ಣಾಡಿಸಿ","codex.commandMenu.switchWorkspace":"ಪ್ರಾಜೆಕ್ಟ್ ಮಾರ್ಪಡಿಸಿ","codex.commandMenu.title":"ಕಮಾಂಡ್ ಮೆನ್ಯು","codex.common.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","codex.composer.searchBranches":"ಕವಲುಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಿ","codex.dialog.basic.body":"ಇದು, ರ್‍ಯಾಡಿಕ್ಸ್‌ ಡಯಲಾಗ್‌ ಸುತ್ತ ನಮ್ಮ ರ್‍ಯಾಪರ್‌ ಬಳಸಿದ ಸರಳ ಮೋಡಲ್‌ ಡಯಲಾಗ್‌ ಆಗಿದೆ.","codex.dialog.basic.cancel":"ರದ್ದುಮಾಡಿ","codex.dialog.basic.confirm":"ದೃಢೀಕರಿಸಿ","codex.dialog.basic.open":"ಡಯಲಾಗ್ ತೆರೆಯಿರಿ","codex.dialog.basic.title":"ಸ್ಯಾಂಪಲ್‌ ಡಯಲಾಗ್‌","codex.dialog.long.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.dialog.long.line":"ಡಯಲಾಗ್‌ ಒಳಗೆ ಉದ್ದ ಕಾಂಟೆಂಟ್‌ ತೋರಿಸಲು ಸರಿಸಬಲ್ಲ ಸಾಲು {index}","codex.dialog.long.open":"ಉದ್ದ ಡಯಲಾಗ್ ತೆರೆಯಿರಿ","codex.dialog.long.title":"ಉದ್ದ ಡಯಲಾಗ್ ಕಾಂಟೆಂಟ್‌","codex.dialog.unstyled.body":"ಡಯಲಾಗ್‌ ಕಾಂಟೆಂಟ್‌ ಅಂದಗೊಳಿಸುವುದನ್ನು ಕರೆಮಾಡುವವರು ಹೇಗೆ ಇಡಿಯಾಗಿ ಹಿಡಿತದಲ್ಲಿಡಬಹುದು ಎಂದು ಈ ಸ್ಟೋರಿ ತೋರಿಸುತ್ತದೆ.","codex.dialog.unstyled.open":"ಅಂದಗೊಳಿಸದ ಡಯಲಾಗ್‌ ತೆರೆಯಿರಿ","codex.dialog.unstyled.title":"ಅಂದಗೊಳಿಸದ ಕಾಂಟೆಂಟ್‌","codex.diff.openInEditorPrompt.openButton":"ಎಡಿಟರ್‌ನಲ್ಲಿ ತೆರೆಯಿರಿ","codex.diff.openInEditorPrompt.singleLine":"ಈ ಫೈಲ್‌ ಇಲ್ಲಿ ತೋರಿಸಲು ಆಗದಷ್ಟು ದೊಡ್ಡದಿದೆ.","codex.diffView.failedToDecodeBase64Diff":"base64 diff ಗುಟ್ಟುಬಿಡಿಸಲು ಆಗಲಿಲ್ಲ","codex.diffView.filesChanged":"{fileCount, plural, one {# ಫೈಲ್ ಚೇಂಜ್ ಆಗಿದೆ} other {# ಫೈಲ್‌ಗಳು ಚೇಂಜ್ ಆಗಿವೆ}}","codex.diffView.imagePreviewAlt":"ಇಮೇಜ್ ಪ್ರಿವ್ಯೂ","codex.diffView.imagePreviewEmpty":"ಇಮೇಜ್ ಇಲ್ಲ","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"diff ಡೇಟಾ ಇಲ್ಲ","codex.diffView.pdfPreview.nextPage":"ನೆಕ್ಸ್ಟ್ ಪುಟ‌","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"ಹಿಂದಿನ ಪುಟ","codex.diffView.pdfPreviewEmpty":"PDF ಪ್ರಿವ್ಯೂ ಇಲ್ಲ","codex.diffView.pdfPreviewError":"PDF ಪ್ರಿವ್ಯೂ ರೆಂಡರ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ","codex.diffView.richPreviewDisable":"ರಿಚ್‌ ಪ್ರಿವ್ಯೂ ಡಿಸೇಬಲ್‌ ಮಾಡಿ","codex.diffView.richPreviewEnable":"ರಿಚ್‌ ಪ್ರಿವ್ಯೂ ಎನೇಬಲ್‌ ಮಾಡಿ","codex.diffView.richPreviewLoading":"ಪ್ರಿವ್ಯೂ ಲೋಡ್ ಆಗುತ್ತಿದೆ...","codex.diffView.richPreviewToggle":"ರಿಚ್‌ ಪ್ರಿವ್ಯೂ ಟಾಗಲ್ ಮಾಡಿ","codex.diffView.switchToUnified":"ಒಗ್ಗೂಡಿಸಿದ diff ಗೆ ಹೋಗಿ","codex.environmentSelector.noEnvironment":"ಯಾವುದೇ ಪರಿಸರ ಇಲ್ಲ","codex.environments.environmentSettings":"ಪರಿಸರ ಸೆಟಿಂಗ್‌ಗಳು","codex.environments.learnMore":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","codex.environments.listError":"ಪರಿಸರಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","codex.environments.noEnvironmentsFound":"ಯಾವುದೇ ಪರಿಸರಗಳು ಕಂಡುಬಂದಿಲ್ಲ.","codex.environments.searchError":"ಪರಿಸರಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","codex.errorBoundary.genericError":"ಓಹ್, ಏನೊ ತಪ್ಪಾಗಿದೆ","codex.errorBoundary.goHome":"ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ","codex.file.patch.missing":"ಈ ಫೈಲ್‌ಗೆ ಪ್ಯಾಚ್‌ ಕಟ್ಟಲು ಆಗುತ್ತಿಲ್ಲ.","codex.gallery.automations.cwdLabel":"ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು","codex.gallery.automations.nameLabel":"ಹೆಸರು","codex.gallery.automations.namePlaceholder":"ಒಂದು ಕಾರ್ಯವನ್ನು ಸಾರಾಂಶಗೊಳಿಸಿ","codex.gallery.automations.promptLabel":"ಪ್ರಾಂಪ್ಟ್","codex.gallery.automations.promptPlaceholder":"ಕೋಡೆಕ್ಸ್‌ ಏನು ಮಾಡಬೇಕೆಂದು ವಿವರಿಸಿ","codex.gallery.dialogs.automation.label":"ತನ್ನಡೆತ ಡಯಲಾಗ್‌","codex.gallery.dialogs.basic.body":"ನೇರ ಖಚಿತಪಡಿಸುವಿಕೆಗಳು ಇಲ್ಲವೇ ಕಿರುರೂಪಗಳಿಗೆ ಈ ಲೇಔಟ್‌ ಬಳಸಿ.","codex.gallery.dialogs.basic.cancel":"ರದ್ದುಮಾಡಿ","codex.gallery.dialogs.basic.confirm":"ಖಚಿತಪಡಿಸಿ","codex.gallery.dialogs.basic.label":"ಮೂಲ ಡಯಲಾಗ್‌","codex.gallery.dialogs.basic.title":"ಉದಾಹರಣಾ ಡಯಲಾಗ್‌","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"ಸಮಸ್ಯೆಯನ್ನು ವಿವರಿಸಿ","codex.gallery.dialogs.feedbackSubmission.bad":"ಕೆಟ್ಟ ಫಲಿತಾಂಶ","codex.gallery.dialogs.feedbackSubmission.bug":"ಬಗ್‌","codex.gallery.dialogs.feedbackSubmission.good":"ಒಳ್ಳೆಯ ಫಲಿತಾಂಶ","codex.gallery.dialogs.feedbackSubmission.includeLogs":"ಈಗಿನ ಕೋಡೆಕ್ಸ್ ಸೆಶನ್‌ ಲಾಗ್‌ಗಳನ್ನು ಸೇರಿಸಿ","codex.gallery.dialogs.feedbackSubmission.label":"ಪ್ರತಿಕ್ರಿಯೆ ಸಲ್ಲಿಕೆ","codex.gallery.dialogs.feedbackSubmission.other":"ಇತರೆ","codex.gallery.dialogs.feedbackSubmission.placeholder":"ತೊಡಕು ಏನೆಂದು ಇಲ್ಲಿ ಬಣ್ಣಿಸಿ","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"ಕಾಪುಗೆ ಪರಿಶೀಲನೆ","codex.gallery.dialogs.feedbackSubmission.submit":"ಸಬ್ಮಿಟ್ ಮಾಡಿ","codex.gallery.dialogs.feedbackSubmission.title":"ಫೀಡ್ಬ್ಯಾಕ್","codex.gallery.dialogs.feedbackSuccess.body":"ಅನಿಸಿಕೆ ಅಪ್ಲೋಡ್‌ ಆಗಿದೆ. ತೊಂದರೆ ಮುಂದುವರಿದರೆ, ದಯವಿಟ್ಟು GitHub ತೊಡಕು ತೆರೆಯಿರಿ ಇಲ್ಲವೇ ಈಗಾಗಲೇ ತೆರೆದ ತೊಡಕಿನಲ್ಲಿ ಥ್ರೆಡ್‌ ಐಡಿ ಹೆಸರಿಸಿ.","codex.gallery.dialogs.feedbackSuccess.dismiss":"ತಳ್ಳಿಹಾಕಿ","codex.gallery.dialogs.feedbackSuccess.label":"ಪ್ರತಿಕ್ರಿಯೆ ಯಶಸ್ವಿಯಾಗಿದೆ","codex.gallery.dialogs.feedbackSuccess.title":"ಫೀಡ್ಬ್ಯಾಕ್ ಅಪ್ಲೋಡ್ ಆಗಿದೆ","codex.gallery.dialogs.gitApplyResults.applied":"ಸರಾಗವಾಗಿ ಅನ್ವಯಿಸಲಾಗಿದೆ (2)","codex.gallery.dialogs.gitApplyResults.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.gallery.dialogs.gitApplyResults.conflicted":"ತಿಕ್ಕಾಟವಿರುವುದು (1)","codex.gallery.dialogs.gitApplyResults.label":"ಫಲಿತಾಂಶಗಳನ್ನು ಅಪ್ಲೈ ಮಾಡಿ","codex.gallery.dialogs.gitApplyResults.title":"ಫಲಿತಾಂಶಗಳನ್ನು ಅಪ್ಲೈ ಮಾಡಿ","codex.gallery.dialogs.gitPushError.body":"ಇತ್ತೀಚಿನ ಮಾರ್ಪಾಡುಗಳನ್ನು ಎಳೆಯಿರಿ ಇಲ್ಲವೇ ದೂರದ ಇತಿಹಾಸವನ್ನು ಕಾಪುಗೆಯಿಂದ ತಿದ್ದಿಬರೆಯಬಹುದು ಎಂದು ನಿಮಗೆ ತಿಳಿದಿದ್ದರೆ ಒತ್ತಾಯದಿಂದ ಪುಶ್ ಮಾಡಿ.","codex.gallery.dialogs.gitPushError.cancel":"ರದ್ದುಮಾಡಿ","codex.gallery.dialogs.gitPushError.force":"ಒತ್ತಾಯದ ಪುಶ್","codex.gallery.dialogs.gitPushError.label":"ಪುಶ್ ತಪ್ಪು","codex.gallery.dialogs.gitPushError.subtitle":"ನಿಮ್ಮ ಕವಲು ಮೂಲ/ಮುಖ್ಯ ಕವಲಿನ ಹಿಂದೆ ಇದೆ.","codex.gallery.dialogs.gitPushError.title":"ಚೇಂಜಸ್ ಅನ್ನು ಪುಶ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.gallery.dialogs.gitRevert.cancel":"ರದ್ದುಮಾಡಿ","codex.gallery.dialogs.gitRevert.confirm":"ರೀವರ್ಟ್ ಮಾಡಿ","codex.gallery.dialogs.gitRevert.label":"ಚೇಂಜಸ್ ರಿವರ್ಟ್ ಮಾಡಿ","codex.gallery.dialogs.gitRevert.skip":"ಮತ್ತೆ ಕೇಳಬೇಡಿ","codex.gallery.dialogs.gitRevert.subtitle":"ಈ ಆಕ್ಶನ್‌ ಈ ಎಲ್ಲಾ ಚೇಂಜಸ್ ಅನ್ನು ರಿಮೂವ್ ಮಾಡುತ್ತದೆ.","codex.gallery.dialogs.gitRevert.title":"ಚೇಂಜಸ್ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಬೇಕೇ?","codex.gallery.dialogs.longForm.label":"ಉದ್ದ ರೂಪದ ಡಯಲಾಗ್‌","codex.gallery.dialogs.proseModal.body":"ಈ ಮಾಡೆಲ್‌ ಶೈಲಿಯನ್ನು ಉದ್ದವಾದ ಸೂಚನೆಗಳು, ಆನ್‌ಬೋರ್ಡಿಂಗ್‌ ಇಲ್ಲವೇ ರಿಚ್‌ ಕಾಂಟೆಂಟ್‌ ತುಣುಕುಗಳಿಗೆ ಬಳಸಲಾಗುತ್ತದೆ.","codex.gallery.dialogs.proseModal.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.gallery.dialogs.proseModal.subtitle":"ಉದ್ದ ಬಗೆಯ ದಾರಿತೋರುವಿಕೆ ಇಲ್ಲವೇ ಡಾಕ್ಯುಮೆಂಟೇಶನ್‌ ಅನ್ನು ಇಲ್ಲಿ ಹಂಚಿಕೊಳ್ಳಿ.","codex.gallery.dialogs.proseModal.title":"ಪ್ರೋಸ್‌ ಮೋಡಲ್‌","codex.gallery.dialogs.submitBlocked.label":"ಸಲ್ಲಿಕೆ ಅಡ್ಡಗೊಳಿಸಲಾಗಿದೆ","codex.gallery.dialogs.submitBlocked.message":"ಪ್ರಾಜೆಕ್ಟ್ ದೊರೆಯುತ್ತಿಲ್ಲವಾದ್ದರಿಂದ ನಿಮ್ಮ ಸಂದೇಶವನ್ನು ಕಳುಹಿಸಲು ಆಗಲಿಲ್ಲ.","codex.gallery.dialogs.submitBlocked.ok":"ಸರಿ","codex.gallery.dialogs.submitBlocked.title":"ಸಂದೇಶ ಕಳುಹಿಸಲು ಆಗುತ್ತಿಲ್ಲ","codex.gallery.dialogs.title":"ಡೈಲಾಗ್‌ಗಳು","codex.gallery.dropdown.filterPlaceholder":"ಐಟಂಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ ","codex.gallery.dropdowns.actionRow":"ಆಕ್ಶನ್‌ ಅಡ್ಡಸಾಲುಗಳು","codex.gallery.dropdowns.actionRow.disabled":"ಡಿಸೇಬಲ್ ಮಾಡಲಾದ ಆಕ್ಶನ್‌","codex.gallery.dropdowns.actionRow.primary":"ಪ್ರಮುಖ ಆಕ್ಶನ್‌","codex.gallery.dropdowns.actionRow.secondary":"ಎರಡನೇ ಆಕ್ಶನ್‌","codex.gallery.dropdowns.actionRow.trigger":"ಆಕ್ಶನ್‌ಗಳನ್ನು ತೋರಿಸಿ","codex.gallery.dropdowns.basic":"ಅಡಿಮಟ್ಟದ ಜಾರುಪಟ್ಟಿ","codex.gallery.dropdowns.basic.newFile":"ಹೊಸ ಫೈಲ್","codex.gallery.dropdowns.basic.newFolder":"ಹೊಸ ಫೋಲ್ಡರ್","codex.gallery.dropdowns.basic.openSettings":"ಸೆಟಿಂಗ್‌ಗಳನ್ನು ತೆರೆಯಿರಿ","codex.gallery.dropdowns.basic.title":"ಚುರುಕಾದ ಆಕ್ಶನ್‌ಗಳು","codex.gallery.dropdowns.basic.trigger":"ಮೆನು ತೆರೆಯಿರಿ","codex.gallery.dropdowns.basic.upload":"ಅಪ್ಲೋಡ್","codex.gallery.dropdowns.panel":"ಪ್ಯಾನಲ್‌ ಹೊರಮೈ‌","codex.gallery.dropdowns.panel.apply":"ಅಪ್ಲೈ ಮಾಡಿ","codex.gallery.dropdowns.panel.body":"diff ಗಳನ್ನು ರಿವ್ಯೂ ಮಾಡಿ ಮತ್ತು ನಿಮ್ಮ ಪ್ರಾಜೆಕ್ಟ್‌ಗೆ ಹಚ್ಚಿ.","codex.gallery.dropdowns.panel.preview":"ಪ್ರಿವ್ಯೂ","codex.gallery.dropdowns.panel.title":"ಚೇಂಜಸ್ ಅಪ್ಲೈ ಮಾಡಿ","codex.gallery.dropdowns.panel.trigger":"ಪ್ಯಾನಲ್‌ ತೆರೆಯಿರಿ","codex.gallery.dropdowns.search":"ಹುಡುಕಬಲ್ಲ ಜಾರುಪಟ್ಟಿ","codex.gallery.dropdowns.search.first":"ಆಲ್ಫಾ ಚಾನಲ್","codex.gallery.dropdowns.search.second":"ಬೀಟಾ ಬ್ರಾಂಚ್","codex.gallery.dropdowns.search.third":"ಬಿಡುಗಡೆ ಹುರಿಯಾಳು","codex.gallery.dropdowns.search.trigger":"ಐಟಂಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ ","codex.gallery.dropdowns.submenu":"ಒಳಮೆನ್ಯು ಇರುವ ಜಾರುಪಟ್ಟಿ","codex.gallery.dropdowns.submenu.optionA":"ಪ್ರಾಜೆಕ್ಟ್ ಆಲ್ಫಾ","codex.gallery.dropdowns.submenu.optionB":"ಪ್ರಾಜೆಕ್ಟ್ ಬೀಟಾ","codex.gallery.dropdowns.submenu.optionC":"ಪ್ರಾಜೆಕ್ಟ್ ಗಾಮಾ","codex.gallery.dropdowns.submenu.primary":"ಮಾಲೀಕನನ್ನು ನಿಯೋಜಿಸಿ","codex.gallery.dropdowns.submenu.secondary":"  ಇಲ್ಲಿಗೆ ಸರಿಸಿ","codex.gallery.dropdowns.submenu.tertiary":"ಆರ್ಕೈವ್","codex.gallery.dropdowns.submenu.trigger":"ಕ್ರಿಯೆಯನ್ನು ಆಯ್ಕೆಮಾಡಿ","codex.gallery.dropdowns.title":"ಡ್ರಾಪ್‌ಡೌನ್‌ಗಳು","codex.gallery.inbox.automations.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codex.gallery.inbox.automations.popover.cardTitle":"ತನ್ನಡೆತಗಳನ್ನು ನಿರ್ವಹಿಸಿ","codex.gallery.inbox.automations.popover.dialogTitle":"ತನ್ನಡೆತಗಳನ್ನು ನಿರ್ವಹಿಸಿ","codex.header.settingsTooltip":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.hunk.patch.error":"ಏರ್ಪಡಿಸಲು ಆಗಲಿಲ್ಲ","codex.hunk.patch.missing":"ಈ ಹಂಕ್‌ಗೆ ಪ್ಯಾಚ್‌ ಕಟ್ಟಲು ಆಗುತ್ತಿಲ್ಲ.","codex.hunk.patch.partialSuccess":"ಅರೆ ಗೆಲುವು","codex.hunk.patch.revertError":"ಮೊದಲಿದ್ದಂತೆ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.hunk.patch.revertSuccess":"ಯಶಸ್ವಿಯಾಗಿ ಮೊದಲಿದ್ದಂತೆ ಮಾಡಲಾಗಿದೆ","codex.hunk.patch.success":"ಯಶಸ್ವಿಯಾಗಿ ಏರ್ಪಡಿಸಲಾಗಿದೆ","codex.legal.autonomy.details":"ಹೆಚ್ಚಿನ ವಿವರಗಳಿಗೆ, {link} ನೋಡಿ","codex.legal.autonomy.details.link":"ಕೋಡೆಕ್ಸ್‌ ಡಾಕ್ಯುಮೆಂಟ್‌ಗಳು","codex.legal.autonomy.title":"ಎಷ್ಟು ತನ್ನಾಳ್ವಿಕೆ ನೀಡಲು ಬಯಸುವಿರಿ ಎಂದು ತೀರ್ಮಾನಿಸಿ","codex.legal.backButton":"ಹಿಂದಕ್ಕೆ","codex.legal.cloud.taskOne.meta":"openai/agi · ಅಕ್ಟೋಬರ್‌ 12","codex.legal.cloud.taskOne.title":"ಹೊಸ ಡಿಸೈನರ್‌ಗೆ ರಿಪಾಸಿಟರಿ ವಿವರಿಸಿ","codex.legal.cloud.taskThree.meta":"openai/codex · ಅಕ್ಟೋಬರ್‌ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"ಕತ್ತಲೆಮೋಡ್‌ ಥೀಮ್ ಕ್ರಿಯೇಟ್ ಮಾಡಿ","codex.legal.cloud.taskTwo.meta":"openai/agi · ಅಕ್ಟೋಬರ್‌ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ಆನ್‌ಬೋರ್ಡಿಂಗ್ ತಪ್ಪು ಸರಿಪಡಿಸಿ","codex.legal.continue.apikey":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","codex.legal.continueButton":"ನೆಕ್ಸ್ಟ್","codex.legal.copilot.details":"ಎಲ್ಲಾ ಮಾಡೆಲ್‌ ಕರೆಗಳು, ಬಿಲ್ಲಿಂಗ್‌ ಮತ್ತು ರೇಟ್‌ ಲಿಮಿಟ್ ಗಳಿಗೆ ನಿಮ್ಮ ಕೋಪೈಲೆಟ್‌ ಪ್ಲಾನ್‌ ಬಳಸುತ್ತದೆ. ಕೋಡೆಕ್ಸ್‌ ಎಕ್ಸ್‌ಟೆನ್ಶನ್‌ ಬಳಕೆ {oaiTos} ಮತ್ತು {gitHubTos} ಎರಡಕ್ಕೂ ಒಳಪಟ್ಟಿರುತ್ತದೆ.","codex.legal.copilot.gitHubTosLink":"GitHub ಸೇವೆಯ ನಿಯಮಗಳು","codex.legal.copilot.oaiTosLink":"OpenAI ಕೋಡೆಕ್ಸ್‌ ಸೇವೆಯ ನಿಯಮಗಳು","codex.legal.copilot.title":"GitHub ಕೋಪೈಲೆಟ್‌ನಿಂದ ಬಲಪಡೆದ","codex.legal.mistakes.review":"ಅದು ಬರೆಯುವ ಕೋಡ್‌ ಮತ್ತು ಎಸಗುವ ಕಮಾಂಡ್‌ಗಳನ್ನು ರಿವ್ಯೂ ಮಾಡಿ","codex.legal.mistakes.title":"ಕೋಡೆಕ್ಸ್‌ ತಪ್ಪುಗಳನ್ನು ಮಾಡಬಹುದು","codex.legal.powered.details":"ನಿಮ್ಮ ಪ್ಲಾನ್‌ನ ರೇಟ್‌ ಲಿಮಿಟ್ಸ್ ಅನ್ನು ಬಳಸಿ ಮತ್ತು {link}","codex.legal.powered.details.link":"ಟ್ರೈನಿಂಗ್ ಡೇಟಾ ಒಲವುಗಳು","codex.legal.powered.title":"ನಿಮ್ಮ ChatGPT ಅಕೌಂಟ್ ನಿಂದ ಬಲ ಪಡೆದಿದೆ","codex.legal.step.cloud.subtitle":"ಬ್ಯಾಕ್ಗ್ರೌಂಡ್ ನಲ್ಲಿ ಎಸಗಲು ಟಾಸ್ಕ್ ಗಳನ್ನು ಕೋಡೆಕ್ಸ್‌ಗೆ ಕಳುಹಿಸಿ, ಇದರಿಂದ ನೀವು ಗಮನಹರಿಸಿ ಕೆಲಸಮಾಡಬಹುದು ಮತ್ತು ಬಿರುಸಾಗಿ ಸಾಗಬಹುದು.","codex.legal.step.cloud.title":"ಕ್ಲೌಡ್‌ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ಗೆ ಕೊಡಿ","codex.legal.step.intro.subtitle":"ಕೋಡೆಕ್ಸ್‌ ನಿಮ್ಮ ರೆಪೊದಲ್ಲಿ ಸಾಗುತ್ತದೆ, ತಿದ್ದುತ್ತದೆ, ಕಮಾಂಡ್‌ಗಳನ್ನು ನಡೆಸುತ್ತದೆ ಮತ್ತು ನೇರವಾಗಿ ಟೆಸ್ಟ್‌ಗಳನ್ನು ಎಸಗುತ್ತದೆ. ನಿಮ್ಮ ChatGPT ಅಕೌಂಟ್ ನ ಬಲದೊಂದಿಗೆ.","codex.legal.step.intro.title":"ನಿಮ್ಮ IDE ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌","codex.legal.step.todo.subtitle":"TODO ಕಾಮೆಂಟ್‌ ಬರೆಯಿರಿ ಹಾಗೂ ಒಂದೇ ಕ್ಲಿಕ್‌ನಲ್ಲಿ ಅದನ್ನು ಕೋಡೆಕ್ಸ್‌ ಟಾಸ್ಕ್ ಆಗಿ ಮಾರ್ಪಡಿಸಿ.","codex.legal.step.todo.title":"TODOಗಳನ್ನು ಕೋಡೆಕ್ಸ್ ಟಾಸ್ಕ್ ಗಳಾಗಿ ಮಾರ್ಪಡಿಸಿ","codex.legal.todo.heading":"// TODO: ಸ್ಕೀಮಾ ನೆರವೇರಿಸಿ","codex.localConversation.closeImagePreview":"ಚಿತ್ರ ಪೂರ್ವವೀಕ್ಷಣೆಯನ್ನು ಮುಚ್ಚಿರಿ","codex.localConversation.userImageAttachment":"ಯೂಸರ್ ಅಂಟಿಕೆ","codex.localTaskRow.archiveTask":"ಥ್ರೆಡ್‌ ಆರ್ಕೈವ್ ಮಾಡಿ","codex.localTaskRow.awaitingApproval":"ಅಪ್ರೂವಲ್ ಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ","codex.localTaskRow.awaitingResponse":"ಪ್ರತಿಕ್ರಿಯೆಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ","codex.localTaskRow.confirmArchiveTask":"ದೃಢೀಕರಿಸಿ","codex.loggedOut.apiKeyPrompt.cancel":"ರದ್ದುಮಾಡಿ","codex.loggedOut.apiKeyPrompt.confirm":"ಸರಿ","codex.loggedOut.apiKeyPrompt.getKey":"Api ಕೀ ಪಡೆಯಿರಿ","codex.loggedOut.apiKeyPrompt.inputLabel":"ನಿಮ್ಮ OpenAI API ಕೀ ಬರೆಯಿರಿ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API ಕೀ ನೊಂದಿಗೆ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಗಳನ್ನು ಡಿಸೇಬಲ್‌ ಮಾಡಲಾಗಿದೆ","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"ಕೋಪೈಲೆಟ್‌ ಮತ್ತು API ಕೀ ನೊಂದಿಗೆ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಗಳನ್ನು ಡಿಸೇಬಲ್‌ ಮಾಡಲಾಗಿದೆ","codex.loggedOut.signIn":"ChatGPT ಯೊಂದಿಗೆ ಸೈನ್ ಇನ್ ಮಾಡಿ","codex.loggedOut.signIn.cancel":"ಸೈನ್ ಇನ್ ರದ್ದುಮಾಡಿ","codex.loggedOut.signInWithCopilot":"GitHub ಕೋಪೈಲೆಟ್‌ನೊಂದಿಗೆ ಸೈನ್ ಇನ್ ಮಾಡಿ","codex.loggedOut.title":"ಕೋಡೆಕ್ಸ್‌","codex.loggedOut.useApiKey":"API ಕೀ ಬಳಸಿ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ಪರಿಕರ","codex.mcpTool.collapsedLabel.verb.called":"ಕರೆಯಲಾಗಿದೆ","codex.mcpTool.collapsedLabel.verb.calling":"ಕರೆಯಲಾಗುತ್ತಿದೆ","codex.mcpTool.embeddedResource.contentLabel":"ಕಂಟೆಂಟ್","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME ಬಗೆ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ಟೂಲ್‌ ಯಾವುದೇ ಕಾಂಟೆಂಟ್‌ ತೋರಿಸಲಿಲ್ಲ","codex.mcpTool.rawPayloadHeading":"ಕರಡು {server}.{tool} ಪರಿಕರ‌ ಕರೆ‌ ಪೇಲೋಡ್‌","codex.menu.recent":"ಇತ್ತೀಚಿನ","codex.menu.seeAllHistory":"ಎಲ್ಲಾ ಹಿಸ್ಟರಿ ನೋಡಿ","codex.modelCapacityBanner.headline.noReset":"{modelName} ನ ಅಳವು ಎಲ್ಲೆ ಮುಟ್ಟಿದೆ. ಆಮೇಲೆ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ, ಇಲ್ಲವೇ ಬೇರೊಂದು ಮಾಡೆಲ್‌ನೊಂದಿಗೆ ಹೊಸ ಮಾತುಕತೆ ಆರಂಭಿಸಿ.","codex.modelCapacityBanner.headline.withReset":"{modelName} ನ ಅಳವು ಎಲ್ಲೆ ಮುಟ್ಟಿದೆ. {resetDate} ಬಳಿಕ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ, ಇಲ್ಲವೇ ಬೇರೊಂದು ಮಾಡೆಲ್‌ನೊಂದಿಗೆ ಹೊಸ ಮಾತುಕತೆ ಆರಂಭಿಸಿ.","codex.modelCapacityBanner.title":"ಆರಿಸಿದ ಮಾಡೆಲ್‌ನ ಅಳವು ಎಲ್ಲೆ ಮುಟ್ಟಿದೆ","codex.patch.change.contentsDeleted":"ಕಾಂಟೆಂಟ್‌ಗಳನ್ನು ಡಿಲೀಟ್ ಮಾಡಲಾಗಿದೆ","codex.patch.change.created":"ಕ್ರಿಯೇಟ್ ಮಾಡಿದ್ದು","codex.patch.change.created-file":"ಫೈಲ್ ಹುಟ್ಟುಹಾಕಲಾಗಿದೆ","codex.patch.change.creating":"ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಗುತ್ತಿದೆ","codex.patch.change.deleted":"ಡಿಲೀಟ್ ಮಾಡಲಾಗಿದೆ","codex.patch.change.deleted-file":"ಫೈಲ್ ಅಳಿಸಲಾಗಿದೆ","codex.patch.change.deleting":"ಡಿಲೀಟ್ ಮಾಡಲಾಗುತ್ತಿದೆ","codex.patch.change.edited":"ಎಡಿಟ್ ಮಾಡಲಾಗಿದೆ","codex.patch.change.edited-file":"ಎಡಿಟ್ ಮಾಡಲಾದ ಫೈಲ್","codex.patch.change.editing":"ಎಡಿಟಿಂಗ್","codex.patch.change.noChanges":"ಯಾವುದೇ ಚೇಂಜಸ್ ಇಲ್ಲ","codex.patch.change.rejected-add":"ತಳ್ಳಿಹಾಕಲಾಗಿದೆ","codex.patch.change.rejected-delete":"ತಳ್ಳಿಹಾಕಲಾಗಿದೆ","codex.patch.change.rejected-edit":"ತಳ್ಳಿಹಾಕಲಾಗಿದೆ","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total} ರಲ್ಲಿ {completed} ಟಾಸ್ಕ್ ಗಳನ್ನು ಮುಗಿಸಲಾಗಿದೆ","codex.plan.todoListCreated":"{total} ಟಾಸ್ಕ್ ಗಳೊಂದಿಗೆ ಮಾಡಬೇಕಾದ ಕೆಲಸಗಳ ಪಟ್ಟಿ ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಗಿದೆ","codex.profileDropdown.apiKeyAuth":"API ಕೀ ನೊಂದಿಗೆ ಲಾಗಿನ್ ಮಾಡಲಾಗಿದೆ","codex.profileDropdown.codexSettings":"ಕೋಡೆಕ್ಸ್ ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.profileDropdown.copilotAuth":"ಕೋಪೈಲೆಟ್‌ನೊಂದಿಗೆ ಲಾಗಿನ್ ಮಾಡಲಾಗಿದೆ","codex.profileDropdown.defaultAccountTitle":"ಡಿಫಾಲ್ಟ್ ಅಕೌಂಟ್","codex.profileDropdown.enterBehavior":"ಉದ್ದವಾದ ಪ್ರಾಂಪ್ಟ್‌ಗಳನ್ನು ಕಳುಹಿಸಲು {modifierSymbol} + enter","codex.profileDropdown.enterBehaviorError":"ಸೆಟಿಂಗ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.getPlus":"ಹೆಚ್ಚಿಸಿದ ಎಲ್ಲೆಗಳಿಗಾಗಿ ಅಪ್‌ಗ್ರೇಡ್‌ ಮಾಡಿ","codex.profileDropdown.keyboardShortcuts":"ಕೀಬೋರ್ಡ್ ಶಾರ್ಟ್‌ಕಟ್‌ಗಳು","codex.profileDropdown.language":"ಭಾಷೆ","codex.profileDropdown.languageDefault":"ತನ್ನಡೆತದ ಕಂಡುಹಿಡಿತ","codex.profileDropdown.languageSearchPlaceholder":"ಭಾಷೆಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಿ","codex.profileDropdown.languageUpdateError":"ಭಾಷೆ ಅಪ್‌ಡೇಟ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.logOut":"ಲಾಗ್ ಔಟ್","codex.profileDropdown.mcp":"MCP ಸೆಟಿಂಗ್‌ಗಳು","codex.profileDropdown.openConfigToml":"config.toml ತೆರೆಯಿರಿ","codex.profileDropdown.openConfigToml.wsl":"WSL ಪರಿಸರದಲ್ಲಿ config.toml ತೆರೆಯಿರಿ","codex.profileDropdown.openExtensionSettings":"ಸೆಟಿಂಗ್‌ಗಳನ್ನು ತೆರೆಯಿರಿ","codex.profileDropdown.openMcpSettings":"MCP ಸೆಟಿಂಗ್‌ಗಳನ್ನು ತೆರೆಯಿರಿ","codex.profileDropdown.openOnStartup":"ತೊಡಗುವಾಗ ತೆರೆಯಿರಿ","codex.profileDropdown.openOnStartupError":"ಸೆಟಿಂಗ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.openSkillsSettings":"ಸ್ಕಿಲ್‌ಗಳ ಸೆಟಿಂಗ್‌ಗಳನ್ನು ತೆರೆಯಿರಿ","codex.profileDropdown.personalAccountTitle":"ಪರ್ಸನಲ್ ಅಕೌಂಟ್","codex.profileDropdown.queueFollowUps":"ಕ್ಯೂ ಫಾಲೋ-ಅಪ್‌ಗಳು","codex.profileDropdown.queueFollowUpsError":"ಸೆಟಿಂಗ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.readDocs":"ಡಾಕ್ಯುಮೆಂಟ್‌ಗಳನ್ನು ಓದಿ","codex.profileDropdown.readSkillsDocs":"ಡಾಕ್ಯುಮೆಂಟ್‌ಗಳನ್ನು ಓದಿ","codex.profileDropdown.runInWsl":"WSL ನಲ್ಲಿ ನಡೆಸಿ","codex.profileDropdown.runInWslError":"ಸೆಟಿಂಗ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.runInWslTooltip":"WSL ಒಳಗೆ ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ನಡೆಸುತ್ತದೆ. ಮೇಲೇರಿಸಿದ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಭದ್ರತೆ ಮತ್ತು ಒಳ್ಳೆಯ ಕಾರ್ಯಕ್ಷಮತೆಗಾಗಿ ಶಿಫಾರಸು ಮಾಡಲಾಗಿದೆ.","codex.profileDropdown.settings":"IDE ಸೆಟಿಂಗ್‌ಗಳು","codex.profileDropdown.settingsPage":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.profileDropdown.signInWithOpenAI":"ChatGPT ಯೊಂದಿಗೆ ಸೈನ್ ಇನ್ ಮಾಡಿ","codex.profileDropdown.skills":"ಸ್ಕಿಲ್‌ಗಳ ಸೆಟಿಂಗ್‌ಗಳು","codex.profileDropdown.switchToCopilotAccount":"ಕೋಪೈಲೆಟ್‌ ಅಕೌಂಟ್ ಬಳಸಿ","codex.profileDropdown.switchToOpenAIAccount":"OpenAI ಅಕೌಂಟ್ ಬಳಸಿ","codex.profileDropdown.todoCodelens":"TODO ಕಾಮೆಂಟ್‌ಗಳನ್ನು ಸರಿಪಡಿಸಿ","codex.profileDropdown.todoCodelensError":"ಸೆಟಿಂಗ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.profileDropdown.windowsDocumentation":"ವಿಂಡೋಸ್ ಡಾಕ್ಯುಮೆಂಟೇಷನ್","codex.profileFooter.signedInFallback":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codex.profileFooter.upgrade":"ಅಪ್‌ಗ್ರೇಡ್‌ ಮಾಡಿ","codex.recentTasksMenu.clearSearch":"ಸರ್ಚ್ ತೆರವುಗೊಳಿಸಿ","codex.recentTasksMenu.cloud":"ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಗಳು","codex.recentTasksMenu.count":"{count, plural, =0 {ಮುನ್ನಡೆಯಲ್ಲಿ ಯಾವುದೇ ಟಾಸ್ಕ್‌ಗಳಿಲ್ಲ} one {# ಟಾಸ್ಕ್‌ ಮುನ್ನಡೆಯಲ್ಲಿದೆ} other {# ಟಾಸ್ಕ್‌ಗಳು ಮುನ್ನಡೆಯಲ್ಲಿವೆ}}","codex.recentTasksMenu.empty":"ಇನ್ನೂ ಯಾವುದೇ ಥ್ರೆಡ್‌ಗಳಿಲ್ಲ","codex.recentTasksMenu.errorCloud":"ಟಾಸ್ಕ್ ಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","codex.recentTasksMenu.errorCloud.inline":"ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","codex.recentTasksMenu.filterAll":"ಎಲ್ಲ","codex.recentTasksMenu.filterCloudTasks":"ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ","codex.recentTasksMenu.filterTooltip":"ಪರಿಸರದ ಮೂಲಕ ಕಾರ್ಯಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ","codex.recentTasksMenu.local":"ಸ್ಥಳೀಯ ಟಾಸ್ಕ್ ಗಳು","codex.recentTasksMenu.recent":"ಎಲ್ಲಾ ಟಾಸ್ಕ್ ಗಳು","codex.recentTasksMenu.search":"ಇತ್ತೀಚಿನ ಟಾಸ್ಕ್ ಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಿ","codex.recentTasksMenu.searchEmpty":"ಯಾವುದೇ ಫಲಿತಾಂಶವಿಲ್ಲ","codex.recentTasksMenu.tooltip":"ಟಾಸ್ಕ್ ಹಿಸ್ಟರಿ","codex.recentTasksMenu.trigger":"ಇತ್ತೀಚಿನ ಟಾಸ್ಕ್‌ಗಳು. {count, plural, one {# ಮುನ್ನಡೆಯಲ್ಲಿದೆ} other {# ಮುನ್ನಡೆಯಲ್ಲಿದೆ}}","codex.remoteConversation.applyDiff.applyCta":"ಚೇಂಜಸ್ ಅಪ್ಲೈ ಮಾಡಿ","codex.remoteConversation.applyDiff.dropdownTitle":"ಸ್ಥಳೀಯ ಕವಲಿಗೆ ಚೇಂಜಸ್ ಅಪ್ಲೈ ಮಾಡಿ","codex.remoteConversation.applyDiff.revertCta":"ಚೇಂಜಸ್ ರಿವರ್ಟ್ ಮಾಡಿ","codex.remoteConversation.closeImagePreview":"ಚಿತ್ರ ಪೂರ್ವವೀಕ್ಷಣೆಯನ್ನು ಮುಚ್ಚಿರಿ","codex.remoteConversation.codexCloudTask":"ನೀವು <u>ಕೋಡೆಕ್ಸ್‌ ಕ್ಲೌಡ್‌</u> ಟಾಸ್ಕ್ ನೋಡುತ್ತಿದ್ದೀರಿ","codex.remoteConversation.errorWithMessage":"ದೋಷ: {message}","codex.remoteConversation.loadingImage":"ಇಮೇಜ್ ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ","codex.remoteConversation.openInWeb":"ವೆಬ್‌‌ನಲ್ಲಿ ತೆರೆಯಿರಿ","codex.remoteConversation.streaming":"ಪ್ರಾರಂಭಿಸಲಾಗುತ್ತಿದೆ","codex.remoteConversation.turnFailed":"ಈ ಟಾಸ್ಕ್ ನಲ್ಲಿ ಏನೊ ತಪ್ಪಾಗಿದೆ","codex.remoteConversation.turnTab.loading":"{number} ಅನ್ನು ಪ್ರಯತ್ನಿಸಿ","codex.remoteConversation.turnTab.title":"{number} ಅನ್ನು ಪ್ರಯತ್ನಿಸಿ","codex.remoteConversation.userImageAttachment":"ಯೂಸರ್ ಅಂಟಿಕೆ","codex.remoteConversation.viewPreviousTurns":"ವೆಬ್‌‌ನಲ್ಲಿ ತೆರೆಯಿರಿ","codex.remoteConversation.viewPreviousTurns.buttonText":"ತೆರೆಯಿರಿ","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ವೆಬ್‌‌ನಲ್ಲಿ ತೆರೆಯಿರಿ","codex.review.copyGitApplyCommand":"git ಅಪ್ಲೈ ಕಮಾಂಡ್‌ ಕಾಪಿ ಮಾಡಿ","codex.review.copyGitApplyCommand.toast":"ಕ್ಲಿಪ್‌ಬೋರ್ಡ್‌ಗೆ git ಅಪ್ಲೈ ಕಮಾಂಡ್‌ ಅನ್ನು ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","codex.review.diffTooLarge.description":"ಈ ಬದಲಾವಣೆಯ ಪ್ರಮಾಣವನ್ನು ವಿಮರ್ಶೆಯಲ್ಲಿ ತೋರಿಸಲು ತುಂಬಾ ದೊಡ್ಡದಾಗಿದೆ.","codex.review.diffTooLarge.title":"Diff ತೋರಿಸಲು ಆಗದಷ್ಟು ದೊಡ್ಡದಿದೆ","codex.review.expandOrCollapseDiffButton.collapse":"ಎಲ್ಲ diffಗಳನ್ನು ಮಡಚಿ","codex.review.expandOrCollapseDiffButton.expand":"ಎಲ್ಲ diffಗಳನ್ನು ಹಿಗ್ಗಿಸಿ","codex.review.expandOrCollapseDiffMenu.collapse":"ಎಲ್ಲ diffಗಳನ್ನು ಮಡಚಿ","codex.review.expandOrCollapseDiffMenu.expand":"ಎಲ್ಲ diffಗಳನ್ನು ಹಿಗ್ಗಿಸಿ","codex.review.fileSearch.clear":"ಫೈಲ್ ಫಿಲ್ಟರ್‌ ತೆರವುಗೊಳಿಸಿ","codex.review.fileSearch.empty":"ಈ ಫಿಲ್ಟರ್‌ಗೆ ಹೊಂದುವ ಯಾವುದೇ ಫೈಲ್‌ಗಳಿಲ್ಲ","codex.review.fileSearch.label":"ಫೈಲ್‌ಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ","codex.review.fileSearch.placeholder":"ಫೈಲ್‌ಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ...","codex.review.filesChanged":"{num, plural, =0 {ಯಾವ ಫೈಲ್‌ಗಳನ್ನೂ ಚೇಂಜ್ ಮಾಡಿಲ್ಲ} one {# ಫೈಲ್ ಚೇಂಜ್ ಆಗಿದೆ} other {# ಫೈಲ್‌ಗಳು ಚೇಂಜ್ ಆಗಿವೆ}}","codex.review.find.loadMore":"ಇನ್ನಷ್ಟು ಹೊಂದಿಕೆಗಳನ್ನು ಲೋಡ್ ಮಾಡಿ","codex.review.fullReview.hideFileTree":"ಫೈಲ್‌ ಟ್ರೀ ಮರೆಮಾಚಿ","codex.review.fullReview.showFileTree":"ಫೈಲ್‌ ಟ್ರೀ ತೋರಿಸಿ","codex.review.header.moreOptions":"ರಿವ್ಯೂ ಆಯ್ಕೆಗಳು","codex.review.largeDiff.banner":"ದೊಡ್ಡ diff ಕಂಡುಬಂದಿದೆ — ಒಂದು ಹೊತ್ತಿಗೆ ಒಂದು ಫೈಲ್‌ ತೋರಿಸಲಾಗುತ್ತಿದೆ.","codex.review.loadFullFiles.disable":"ಸಂಪೂರ್ಣ ಫೈಲ್‌ಗಳನ್ನು ಲೋಡ್ ಮಾಡಬೇಡಿ","codex.review.loadFullFiles.enable":"ಸಂಪೂರ್ಣ ಫೈಲ್‌ಗಳನ್ನು ಲೋಡ್ ಮಾಡಿ","codex.review.noDiff":"ಫೈಲ್ ಮಾರ್ಪಾಡುಗಳು ಇಲ್ಲಿ ಮೂಡುತ್ತವೆ","codex.review.noDiff.gitInit.createRepository":"git ರಿಪಾಸಿಟರಿ ಹುಟ್ಟುಹಾಕಿ","codex.review.noDiff.gitInit.creating":"ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","codex.review.noDiff.gitInit.error":"ಗಿಟ್ ಪ್ರಾರಂಭ ವಿಫಲವಾಗಿದೆ: {message}","codex.review.noDiff.gitInit.success":"ಗಿಟ್ ರಿಪಾಸಿಟರಿ ರಚಿಸಲಾಗಿದೆ","codex.review.noDiff.gitRepoRequired.description":"ಈ ಪ್ರಾಜೆಕ್ಟ್‌ನಲ್ಲಿ ಮಾರ್ಪಾಡುಗಳ ಜಾಡುಹಿಡಿಯಿರಿ ಮತ್ತು ಅವುಗಳನ್ನು ಮೊದಲಿದ್ದಂತೆ ಮಾಡಿ","codex.review.noDiff.gitRepoRequired.title":"ಗಿಟ್ ರಿಪಾಸಿಟರಿಯನ್ನು ರಚಿಸಿರಿ","codex.review.noDiff.orNoLongerAvailable":"ಇಲ್ಲವೇ ಇತ್ತೀಚಿನ diff ದೊರೆಯುವುದಿಲ್ಲ","codex.review.noDiff.reverted":"ಹಿಂದಿನ ಟರ್ನ್‌ ಅನ್ನು ರಿವೆರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.noDiff.revertedOrCommitted":"ಹಿಂದಿನ ಟರ್ನ್‌ ಅನ್ನು ಒಂದೋ ರಿವೆರ್ಟ್ ಮಾಡಲಾಗಿದೆ ಇಲ್ಲವೇ ಕಮಿಟ್‌ ಮಾಡಲಾಗಿದೆ","codex.review.refreshGitQueries":"ರಿಫ್ರೆಶ್ ಮಾಡಿ","codex.review.revert.file.error":"{path} ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.file.partialSuccess":"{path} ಅನ್ನು ಸ್ವಲ್ಪವೇ ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.file.success":"{path} ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.hunk.error":"{path} ನಲ್ಲಿ ಹಂಕ್ {hunkNumber}‌ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.review.revert.hunk.partialSuccess":"{path} ನಲ್ಲಿ ಹಂಕ್ {hunkNumber}‌ ಅನ್ನು ಸ್ವಲ್ಪವೇ ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.hunk.success":"{path} ನಲ್ಲಿ ಹಂಕ್ {hunkNumber}‌ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.section.error":"ತುಣುಕನ್ನು ರಿವರ್ಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.review.revert.section.partialSuccess":"ತುಣುಕನ್ನು ಸ್ವಲ್ಪವೇ ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revert.section.success":"ತುಣುಕನ್ನು ರಿವರ್ಟ್ ಮಾಡಲಾಗಿದೆ","codex.review.revertDialog.cancel":"ರದ್ದುಮಾಡಿ","codex.review.revertDialog.confirm":"ದೃಢೀಕರಿಸಿ","codex.review.revertDialog.message":"ಈ ಆಕ್ಶನ್‌ ಈ ಎಲ್ಲಾ ಚೇಂಜಸ್ ಅನ್ನು ರಿಮೂವ್ ಮಾಡುತ್ತದೆ.","codex.review.revertDialog.skip":"ಮತ್ತೆ ಕೇಳಬೇಡಿ","codex.review.revertDialog.title":"ಚೇಂಜಸ್ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಬೇಕೇ?","codex.review.richPreview.disable":"ರಿಚ್‌ ಪ್ರಿವ್ಯೂ ಡಿಸೇಬಲ್‌ ಮಾಡಿ","codex.review.richPreview.enable":"ರಿಚ್‌ ಪ್ರಿವ್ಯೂ ಎನೇಬಲ್‌ ಮಾಡಿ","codex.review.source.cloud":"ಕ್ಲೌಡ್‌ ಚೇಂಜಸ್","codex.review.source.local.all":"ಕವಲಿನ ಎಲ್ಲ ಚೇಂಜಸ್","codex.review.source.local.lastTurn":"ಇತ್ತೀಚಿನ ಟರ್ನ್‌ ಚೇಂಜಸ್","codex.review.source.local.uncommitted":"ಕಮಿಟ್‌ ಆಗದ ಚೇಂಜಸ್","codex.review.source.worktree":"ಕಮಿಟ್‌ ಆಗದ ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳು","codex.review.stageFilter.empty.staged.description":"ಅವುಗಳನ್ನು ಏರ್ಪಡಿಸಲು ತಿದ್ದುಪಡಿಗಳನ್ನು ಒಪ್ಪಿಕೊಳ್ಳಿ","codex.review.stageFilter.empty.staged.title":"ಏರ್ಪಡಿಸಿದ ಮಾರ್ಪಾಡುಗಳಿಲ್ಲ","codex.review.stageFilter.empty.unstaged.description":"ಕೋಡ್ ಮಾರ್ಪಾಡುಗಳು ಇಲ್ಲಿ ಮೂಡುತ್ತವೆ","codex.review.stageFilter.empty.unstaged.title":"ಏರ್ಪಡಿಸಿಲ್ಲದ ಮಾರ್ಪಾಡುಗಳಿಲ್ಲ","codex.review.stageFilter.staged":"ಏರ್ಪಡಿಸಿದ","codex.review.stageFilter.staged.count":"ಏರ್ಪಡಿಸಿದ · {count}","codex.review.stageFilter.unstaged":"ಏರ್ಪಡಿಸಿಲ್ಲದ","codex.review.stageFilter.unstaged.count":"ಏರ್ಪಡಿಸಿಲ್ಲದ · {count}","codex.review.switchToSplit":"ಸೀಳಿದ diff ಗೆ ಹೋಗಿ","codex.review.switchToUnified":"ಒಗ್ಗೂಡಿಸಿದ diff ಗೆ ಹೋಗಿ","codex.review.toggleDiffView":"diff ನೋಟ ಟಾಗಲ್ ಮಾಡಿ‌","codex.review.wordDiffs.disable":"ಪದಗಳ diff ಗಳನ್ನು ಡಿಸೇಬಲ್‌ ಮಾಡಿ","codex.review.wordDiffs.enable":"ಪದಗಳ diff ಗಳನ್ನು ಎನೇಬಲ್‌ ಮಾಡಿ","codex.review.wrap.disable":"ಪದ ಸುತ್ತಿಕೊಳ್ಳುವುದನ್ನು ಡಿಸೇಬಲ್‌ ಮಾಡಿ‌","codex.review.wrap.enable":"ಪದ ಸುತ್ತಿಕೊಳ್ಳುವುದನ್ನು ಎನೇಬಲ್‌ ಮಾಡಿ‌","codex.section.patch.missing":"ಈ ತುಣುಕಿಗೆ ಪ್ಯಾಚ್‌ ಕಟ್ಟಲು ಆಗುತ್ತಿಲ್ಲ.","codex.shell.collapse":"ಶೆಲ್‌ ಮಡಚಿ","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"ಶೆಲ್‌ ಕಾಂಟೆಂಟ್‌ಗಳನ್ನು ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","codex.shell.copy.copyTooltip":"ಶೆಲ್‌ ಕಾಂಟೆಂಟ್‌ಗಳನ್ನು ಕಾಪಿ ಮಾಡಿ","codex.shell.copyCommand":"ಕಮಾಂಡ್‌ ಕಾಪಿ ಮಾಡಿ","codex.shell.copyOutput":"ಔಟ್‌ಪುಟ್ ಕಾಪಿ ಮಾಡಿ‌","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"ಬ್ಯಾಶ್‌","codex.shell.expand":"ಶೆಲ್ ಹಿಗ್ಗಿಸಿ","codex.shell.name":"ಶೆಲ್","codex.shell.noOutput":"ಔಟ್‌ಪುಟ್ ಇಲ್ಲ","codex.signInFailed.message":"ಸೈನ್ ಇನ್ ಆಗಲಿಲ್ಲ: {rawMessage}","codex.stories.toast.show":"ಟೋಸ್ಟ್ ತೋರಿಸಿ","codex.stories.tooltip.basic":"ಇದೊಂದು ಟೂಲ್‌ಟಿಪ್‌","codex.stories.tooltip.hoverMe":"ನನ್ನ ಮೇಲೆ ಸುಳಿದಾಡಿ","codex.stories.tooltip.largerOffset":"ಈ ಟೂಲ್‌ಟಿಪ್‌ ದೊಡ್ಡ ಆಫ್‌ಸೆಟ್‌ ಹೊಂದಿದೆ","codex.stories.tooltip.offsetButton":"ದೊಡ್ಡ ಆಫ್‌ಸೆಟ್‌","codex.stories.tooltip.shortcutButton":"ಶಾರ್ಟ್‌ಕಟ್ ನೊಂದಿಗೆ","codex.stories.tooltip.withShortcut":"ಟರ್ಮಿನಲ್ ಟಾಗಲ್‌","codex.taskRow.title":"ಹೊಸ ಥ್ರೆಡ್‌","codex.taskRowLayout.confirm":"ದೃಢೀಕರಿಸಿ","codex.threadFindBar.chatFilter":"ಚಾಟ್‌ಗಳನ್ನು ಹುಡುಕಿ","codex.threadFindBar.close":"ಹುಡುಕಿ ಪಟ್ಟಿ ಮುಚ್ಚಿ","codex.threadFindBar.diffFilter":"ಡಿಫ್ ಗಳನ್ನು ಹುಡುಕಿ","codex.threadFindBar.label":"ಥ್ರೆಡ್‌ನಲ್ಲಿ ಕಂಡುಹಿಡಿಯಿರಿ","codex.threadFindBar.nextResult":"ಮುಂದಿನ ಫಲಿತಾಂಶ","codex.threadFindBar.noResults":"0 ಫಲಿತಾಂಶಗಳು","codex.threadFindBar.placeholder":"ಥ್ರೆಡ್‌ನಲ್ಲಿ ಹುಡುಕಿ…","codex.threadFindBar.placeholder.extension":"ಥ್ರೆಡ್‌ನಲ್ಲಿ ಹುಡುಕಿ…","codex.threadFindBar.placeholder.review":"diff ಹುಡುಕಿ...","codex.threadFindBar.placeholder.review.extension":"diff ಹುಡುಕಿ...","codex.threadFindBar.previousResult":"ಹಿಂದಿನ ಫಲಿತಾಂಶ","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# ಫೈಲ್ ಚೇಂಜ್ ಆಗಿದೆ} other {# ಫೈಲ್‌ಗಳು ಚೇಂಜ್ ಆಗಿವೆ}}","codex.unifiedDiff.inlineLargeFile":"ಇನ್‌ಲೈನ್‌ನಲ್ಲಿ ರೆಂಡರ್‌ ಮಾಡಲು ಆಗದಷ್ಟು ದೊಡ್ಡದಿದೆ","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"ಮಾಡಿದ್ದನ್ನು ಹಿಂಪಡೆಯಿರಿ","codex.unifiedDiff.revertPatchError":"ಚೇಂಜಸ್ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","codex.unifiedDiff.revertPatchSuccess":"ಚೇಂಜಸ್ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಲಾಯಿತು","codex.unifiedDiff.reviewChangesSuffix":"ಚೇಂಜಸ್","codex.unifiedDiff.reviewShort":"ರಿವ್ಯೂ","codex.unifiedDiff.viewDiffTooltip":"ರಿವ್ಯೂ","codex.upsellBanner.business.headline":"ಈಗ ಹೆಚ್ಚಿನ ಬಳಸುಹಕ್ಕು ಪಡೆಯಲು, ನಿಮ್ಮ ಅಡ್ಮಿನ್‌ಗೆ ಕೋರಿಕೆ ಕಳುಹಿಸಿ ಇಲ್ಲವೇ {resetDate} ರವರೆಗೆ ಕಾಯಿರಿ.","codex.upsellBanner.cbp.headline":"ಈಗ ಹೆಚ್ಚಿನ ಆಕ್ಸೆಸ್ ಅನ್ನು ಪಡೆಯಲು, ನಿಮ್ಮ ಅಡ್ಮಿನ್‌ಗೆ ವಿನಂತಿಯನ್ನು ಕಳುಹಿಸಿ.","codex.upsellBanner.cta.addCredits":"ಕ್ರೆಡಿಟ್‌ಗಳನ್ನು ಸೇರಿಸಿ","codex.upsellBanner.cta.upgradeAccount":"ಅಪ್‌ಗ್ರೇಡ್‌ ಮಾಡಿ","codex.upsellBanner.cta.viewUsage":"ಬಳಕೆಯನ್ನು ವೀಕ್ಷಿಸಿ","codex.upsellBanner.free.trialHeadline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ. ಕೋಡೆಕ್ಸ್‌ ಬಳಸುವುದನ್ನು ಮುಂದುವರಿಸಲು ಮತ್ತು GPT-5.3-ಕೋಡೆಕ್ಸ್‌ಗೆ ಬಳಸುಹಕ್ಕು ಪಡೆಯಲು, ಇಂದೇ Plus ನ ನಿಮ್ಮ ಉಚಿತ ಟ್ರಯಲ್‌ ಆರಂಭಿಸಿ.","codex.upsellBanner.freeOrGo.headline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ. ಕೋಡೆಕ್ಸ್ ಬಳಸುವುದನ್ನು ಮುಂದುವರಿಸಲು, ಇಂದೇ Plus‌ಗೆ ಅಪ್‌ಗ್ರೇಡ್ ಮಾಡಿ.","codex.upsellBanner.general.headline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ.","codex.upsellBanner.general.title":"ನಿಮ್ಮ ಕೋಡೆಕ್ಸ್‌ ಸಂದೇಶಗಳು ಮುಗಿದಿವೆ","codex.upsellBanner.go.trialHeadline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ. ಕೋಡೆಕ್ಸ್‌ ಬಳಸುವುದನ್ನು ಮುಂದುವರಿಸಲು, ಇಂದೇ Plus ನ ನಿಮ್ಮ ಉಚಿತ ಟ್ರಯಲ್‌ ಆರಂಭಿಸಿ.","codex.upsellBanner.plus.headline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ. ಕೋಡೆಕ್ಸ್‌ ಬಳಸುವುದನ್ನು ಮುಂದುವರಿಸಲು, ಕ್ರೆಡಿಟ್‌ಗಳನ್ನು ಸೇರಿಸಿ ಇಲ್ಲವೇ ಇಂದೇ Pro ಗೆ ಅಪ್‌ಗ್ರೇಡ್‌ ಮಾಡಿ.","codex.upsellBanner.pro.headline":"ನಿಮ್ಮ ರೇಟ್‌ ಎಲ್ಲೆ {resetDate} ರಂದು ಮರುಹೊಂದುತ್ತದೆ. ಕೋಡೆಕ್ಸ್ ಬಳಕೆಯನ್ನು ಮುಂದುವರಿಸಲು ಕ್ರೆಡಿಟ್‌ಗಳನ್ನು ಸೇರಿಸಿ.","codex.userMessage.autoResolveSync":"ತಿಕ್ಕಾಟಗಳನ್ನು ತನ್ನಡೆತದಿಂದ ಬಗೆಹರಿಸಿ","codex.userMessage.commentCount":"{count, plural, one {# ಕಾಮೆಂಟ್} other {# ಕಾಮೆಂಟ್‌ಗಳು}}","codex.userMessage.copiedAriaLabel":"ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","codex.userMessage.copiedTooltip":"ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","codex.userMessage.copyAriaLabel":"ಸಂದೇಶವನ್ನು ನಕಲಿಸಿ","codex.userMessage.copyTooltip":"ಕಾಪಿ ಮಾಡಿ","codex.userMessage.implementPlan":"ಯೋಜನೆಯನ್ನು ಜಾರಿಗೆ ತನ್ನಿ","codex.userMessage.noContent":"(ಕಾಂಟೆಂಟ್ ಇಲ್ಲ)","codex.userMessage.priorConversation":"ಹಿಂದಿನ ಕಾನ್ವರ್ಸೆಷನ್ ಅನ್ನು ಹೆಸರಿಸುತ್ತದೆ","codex.userMessage.reviewMode":"ರಿವ್ಯೂ ಮೋಡ್‌","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} ಕ್ಕಾಗಿ","codex.webSearch.summary.verb.completed":"ವೆಬ್‌ನಲ್ಲಿ ಹುಡುಕಲಾಗಿದೆ","codex.webSearch.summary.verb.inProgress":"ವೆಬ್‌ನಲ್ಲಿ ಹುಡುಕಲಾಗುತ್ತಿದೆ","codex.windowsInstallWslBanner.dismiss":"ತಳ್ಳಿಹಾಕಿ","codex.windowsInstallWslBanner.installWslCta":"ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್ ಎನೇಬಲ್‌ ಮಾಡಿ","codex.windowsInstallWslBanner.learnMore":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","codex.windowsSandboxBanner.content":"ಫೈಲ್‌ಸಿಸ್ಟಮ್‌ ಮತ್ತು ನೆಟ್‌ವರ್ಕ್‌ ಅಕ್ಸೆಸ್ ಅನ್ನು ಕಡಿಮೆಮಾಡಲು, ವಿಂಡೋಸ್‌ನಲ್ಲಿ ಏಜೆಂಟ್‌ ಮೋಡ್‌ ಒರೆತದ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಬಳಸುತ್ತದೆ. {sandboxLink}","codex.windowsSandboxBanner.title":"ಏಜೆಂಟ್‌ ಮೋಡ್‌ಗಾಗಿ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಎನೇಬಲ್‌ ಮಾಡಿ","codex.windowsSubDropdown.windowsSandbox":"ವಿಂಡೋಸ್ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್","codex.windowsSubDropdown.windowsSettings":"ವಿಂಡೋಸ್ ಸೆಟ್ಟಿಂಗ್‌ಗಳು","codexUpgradeModal.body":"ನಮ್ಮ ಇತ್ತೀಚಿನ ಮುಂಚೂಣಿಯ ಏಜೆಂಟ್‌ ಮಾಡುವ ಕೋಡಿಂಗ್‌ ಮಾಡೆಲ್‌ — ಸಾಮಾನ್ಯ ತಾಂತ್ರಿಕ ಕೆಲಸಕ್ಕೆ ಚುರುಕಾಗಿದೆ, ಬಿರುಸಾಗಿದೆ ಮತ್ತು ಇನ್ನಷ್ಟು ಶಕ್ತಿಶಾಲಿಯಾಗಿದೆ. {link}","codexUpgradeModal.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","codexUpgradeModal.image.altText":"GPT-5.3-ಕೋಡೆಕ್ಸ್‌","codexUpgradeModal.smarterAndFaster":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","codexUpgradeModal.title":"GPT-5.3-ಕೋಡೆಕ್ಸ್‌ ಪರಿಚಯಿಸುತ್ತಿದ್ದೇವೆ","codexUpgradeModal.tryNewModel":"GPT-5.3-ಕೋಡೆಕ್ಸ್‌ ಬಳಸಿ ನೋಡಿ","codexUpgradeModal.useExistingModel":"ಈಗಿನ ಮಾಡೆಲ್‌ನೊಂದಿಗೆ ಕಂಟಿನ್ಯೂ ಮಾಡಿ","commentAttachments.numComments":"{count, plural, one {# ಕಾಮೆಂಟ್} other {# ಕಾಮೆಂಟ್‌ಗಳು}}","commentAttachments.removeAriaLabel":"ಕಾಮೆಂಟ್ ಗಳ ಅಟ್ಯಾಚ್‌ಮೆಂಟ್ ರಿಮೂವ್ ಮಾಡಿ","common.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","composer.addContext.openFilePickerError":"ಫೈಲ್‌ ಆರಿಸುವ ಕಿಂಡಿ ತೆರೆಯಲು ಆಗುತ್ತಿಲ್ಲ","composer.addContextDropdown.ariaLabel":"ಫೈಲ್‌ಗಳು ಮತ್ತು ಹೆಚ್ಚಿನವುಗಳನ್ನು ಸೇರಿಸಿ","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ಫೈಲ್‌ಗಳು ಮತ್ತು ಹೆಚ್ಚಿನವುಗಳನ್ನು ಸೇರಿಸಿ","composer.addPhotosAndFiles":"ಫೋಟೊ ಮತ್ತು ಫೈಲ್‌ಗಳನ್ನು ಸೇರಿಸಿ","composer.atMentionList.emptyQuery":"ಫೈಲ್‌ಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಲು ಟೈಪ್‌ ಮಾಡಿ","composer.atMentionList.loading":"ಫೈಲ್‌ಗಳನ್ನು ಹುಡುಕಲಾಗುತ್ತಿದೆ...","composer.atMentionList.noResults":"ಯಾವುದೇ ಫಲಿತಾಂಶಗಳಿಲ್ಲ","composer.attemptsSelector.option":"{count, plural, one {# ಆವೃತ್ತಿ} other {# ಆವೃತ್ತಿಗಳು}}","composer.attemptsSelector.tooltip":"ಕೋಡೆಕ್ಸ್‌ ಮಾಡಬೇಕಾದ ಹೋಲುವ ಪ್ರಯತ್ನಗಳ ಎಣಿಕೆ","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"{count, plural, one {# ಟರ್ಮಿನಲ್} other {# ಟರ್ಮಿನಲ್‌ಗಳು}} ನಡೆಸಲಾಗುತ್ತಿದೆ","composer.backgroundTerminals.stop":"ನಿಲ್ಲಿಸಿ","composer.cleanBackgroundTerminals.error":"ಹಿನ್ನೆಲೆ ಟರ್ಮಿನಲ್‌ಗಳನ್ನು ನಿಲ್ಲಿಸಲು ಆಗುತ್ತಿಲ್ಲ.","composer.cloudFollowUp.cloud":"ಕ್ಲೌಡ್‌","composer.cloudFollowUp.local":"ಸ್ಥಳೀಯ","composer.cloudFollowUp.whereRun":"ಈ ಮುಂದುವರಿಕೆ ಎಲ್ಲಿ ನಡೆಯಬೇಕು?","composer.cloudTaskCreationError":"ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಕ್ರಿಯೇಟ್ ಮಾಡುವಾಗ ತಪ್ಪಾಗಿದೆ","composer.cloudTaskError":"ಟಾಸ್ಕ್ ಕ್ರಿಯೇಟ್ ಮಾಡುವಾಗ ತಪ್ಪಾಗಿದೆ","composer.contextWindow.autoCompactionTooltipLine1":"ಕೋಡೆಕ್ಸ್‌ ತನ್ನ ನೆಲೆಯನ್ನು ತಾನಾಗಿಯೇ ಅಡಕಮಾಡುತ್ತದೆ","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"ಕಾಂಟೆಕ್ಸ್ಟ್ ಕಿಂಡಿ:","composer.contextWindowUsageStatusFull":"{usage}% ತುಂಬಿದೆ","composer.contextWindowUsageStatusLeft":"{usage}% ಬಳಕೆಯಾಗಿದೆ ({remaining}% ಉಳಿದಿದೆ)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k ಟೋಕನ್‌ಗಳನ್ನು ಬಳಸಲಾಗಿದೆ","composer.customCliTooltip":"ಕಸ್ಟಮ್‌ CLI ಎಸಗಬಲ್ಲವು ಬಳಸಲಾಗುತ್ತಿದೆ","composer.dictation.aria":"ಡಿಕ್ಟೇಟ್ ","composer.dictation.cancel.aria":"ಡಿಕ್ಟೇಷನ್ ನಿಲ್ಲಿಸಿ","composer.dictation.cancel.tooltip":"ಡಿಕ್ಟೇಷನ್ ನಿಲ್ಲಿಸಿ","composer.dictation.startError":"ಬರೆಸುವಿಕೆ ಆರಂಭಿಸಲು ಆಗಲಿಲ್ಲ","composer.dictation.submit.aria":"ಉಲಿಬರಹ ಮಾಡಿ ಮತ್ತು ಕಳುಹಿಸಿ","composer.dictation.submit.tooltip":"ಉಲಿಬರಹ ಮಾಡಿ ಮತ್ತು ಕಳುಹಿಸಿ","composer.dictation.tooltip":"ಡಿಕ್ಟೇಟ್ ಮಾಡಲು ಹೋಲ್ಡ್ ಮಾಡಿ","composer.dictation.transcribeError":"ಆಡಿಯೊದ ಉಲಿಬರಹ ಮಾಡಲು ಆಗಲಿಲ್ಲ","composer.dictation.unsupported":"ಈ ಡಿವೈಸ್‌ನಲ್ಲಿ ಬರೆಸುವಿಕೆ ದೊರೆಯುತ್ತಿಲ್ಲ","composer.dropOverlay.holdShift":"ಎಳೆದುತಂದು ಹಾಕಲು {key} ಹಿಡಿದುಕೊಳ್ಳಿ","composer.dropOverlay.shiftKey":"ಶಿಫ್ಟ್","composer.environmentSelector.createNew":"ಹೊಸತನ್ನು ಹುಟ್ಟುಹಾಕಿ","composer.environmentSelector.error":"ಪರಿಸರಗಳನ್ನು ಲೋಡ್ ಮಾಡುವಲ್ಲಿ ತಪ್ಪಾಗಿದೆ","composer.environmentSelector.goBack":"ಕಂಪೋಸರ್‌ಗೆ ಹಿಂದಿರುಗಿ","composer.environmentSelector.title":"ಪರಿಸರ ಆರಿಸಿ","composer.environmentSelector.tooltip":"ಕ್ಲೌಡ್‌ ಪರಿಸರ ಆರಿಸಿ","composer.feedbackSlashCommand.title":"ಫೀಡ್ಬ್ಯಾಕ್","composer.filePicker.selectFile":"ಫೈಲ್ ಆರಿಸಿ","composer.filePicker.selectFiles":"ಫೈಲ್‌ಗಳನ್ನು ಆರಿಸಿ","composer.followerTooltip":"ಮುಂದುವರಿಸಲು, ಈ ಮಾತುಕತೆ ಆರಂಭವಾದ ಕಿಂಡಿಗೆ ಮರಳಿ.","composer.footer.branchSwitch.checkoutError":"ಕವಲು ಮಾರ್ಪಡಿಸಲು ಆಗಲಿಲ್ಲ: {message}","composer.footer.branchSwitch.createAndCheckout":"ಹೊಸ ಕವಲು ಹುಟ್ಟುಹಾಕಿ ಮತ್ತು ಚೆಕ್‌ಔಟ್‌ ಮಾಡಿ...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"ಹೊಸ ಕವಲು ಹುಟ್ಟುಹಾಕಿ ಚೆಕ್‌ಔಟ್‌ ಮಾಡಲು ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಿ","composer.footer.branchSwitch.createBranchError":"ಕವಲು ಹುಟ್ಟುಹಾಕಲು ಆಗಲಿಲ್ಲ: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ಬ್ರಾಂಚ್ ಹೆಸರು","composer.footer.branchSwitch.createDialog.branchExistsError":"ಕವಲು ಈಗಾಗಲೇ ಇದೆ.","composer.footer.branchSwitch.createDialog.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","composer.footer.branchSwitch.createDialog.createAndCheckout":"ಹುಟ್ಟುಹಾಕಿ ಮತ್ತು ಚೆಕ್‌ಔಟ್‌ ಮಾಡಿ","composer.footer.branchSwitch.createDialog.placeholder":"ಹೊಸ ಕವಲು","composer.footer.branchSwitch.createDialog.title":"ಕವಲು ಹುಟ್ಟುಹಾಕಿ ಮತ್ತು ಚೆಕ್‌ಔಟ್‌ ಮಾಡಿ","composer.footer.branchSwitch.createDialog.trailingSlashError":"ಕವಲಿನ ಹೆಸರು “/” ನೊಂದಿಗೆ ಕೊನೆಯಾಗುವಂತಿಲ್ಲ.","composer.footer.branchSwitch.tooltip":"ಕವಲು ಮಾರ್ಪಡಿಸಿ","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} ಅನ್ನು ಪರಿಶೀಲಿಸಲು {fileCount, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}} ರಲ್ಲಿ ಬದಲಾವಣೆಗಳನ್ನು ಮಾಡಿ.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"ಕಮಿಟ್ ಮಾಡಿ","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} ಅನ್ನು ಪರಿಶೀಲಿಸಲು {fileCount, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}} ರಲ್ಲಿ ಬದಲಾವಣೆಗಳು.","composer.footer.branchSwitch.uncommittedDialog.cancel":"ರದ್ದುಮಾಡಿ","composer.footer.branchSwitch.uncommittedDialog.commit":"ಶಾಖೆಯನ್ನು ಒಪ್ಪಿಸಿ ಮತ್ತು ಬದಲಾಯಿಸಿ...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"ಈ ಕೆಳಗಿನ ಫೈಲ್‌ಗಳಿಗೆ ನೀವು ಮಾಡಿದ ಬದಲಾವಣೆಗಳನ್ನು ಚೆಕ್‌ಔಟ್‌ನಿಂದ ತಿದ್ದಿ ಬರೆಯಲಾಗುತ್ತದೆ:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"ಮುಂದುವರಿಯಲು ದಯವಿಟ್ಟು ನಿಮ್ಮ ಬದಲಾವಣೆಗಳನ್ನು ಮಾಡಿ.","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ಆಯ್ಕೆ ಮಾಡಿದ ಶಾಖೆ","composer.footer.branchSwitch.uncommittedDialog.title":"ಶಾಖೆಯನ್ನು ಬದಲಾಯಿಸಲು ಬದಲಾವಣೆಗಳನ್ನು ಮಾಡಿ","composer.footer.branchSwitch.uncommittedSummaryPrefix":"ಕಮಿಟ್‌ ಆಗದ: {fileCount, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}}","composer.forkSlashCommand.description":"ಈ ಥ್ರೆಡ್ ಅನ್ನು ಸ್ಥಳೀಯವಾಗಿ ಅಥವಾ ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಗೆ ವಿಭಜನೆ ಮಾಡಿ.","composer.forkSlashCommand.option.local.description":"ಹೊಸ ಸ್ಥಳೀಯ ಥ್ರೆಡ್‌ನಲ್ಲಿ ಮುಂದುವರಿಯಿರಿ","composer.forkSlashCommand.option.local.title":"ಸ್ಥಳೀಯಕ್ಕೆ ವಿಭಜನೆ ಮಾಡಿ","composer.forkSlashCommand.option.worktree.description":"ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಯಲ್ಲಿ ಮುಂದುವರಿಯಿರಿ","composer.forkSlashCommand.option.worktree.title":"ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಗೆ ವಿಭಜನೆ ಮಾಡಿ.","composer.forkSlashCommand.title":"ಫೋರ್ಕ್","composer.ideContextIndicator":"IDE ನೆಲೆ","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"{br} ಆಯ್ಕೆ ಸ್ಥಿತಿಯಂತಹ IDE ನಿಂದ ನೆಲೆಯನ್ನು ಸೇರಿಸಿಕೊಳ್ಳಿ ಮತ್ತು ಫೈಲ್‌ಗಳನ್ನು ತೆರೆಯಿರಿ.","composer.ideContextIndicator.tooltipToggle":"ಟಾಗಲ್ ಮಾಡಲು","composer.ideContextSlashCommand.disableDescription":"IDE ನೆಲೆ ಆಫ್‌ ಮಾಡಿ","composer.ideContextSlashCommand.enableDescription":"ನಿಮ್ಮ IDE ನಿಂದ ಈಗಿನ ಆಯ್ಕೆಯನ್ನು ಸೇರಿಸಿ, ಫೈಲ್‌ಗಳು ಮತ್ತು ಬೇರೆ ನೆಲೆಯನ್ನು ತೆರೆಯಿರಿ","composer.ideContextSlashCommand.title":"IDE ನೆಲೆ","composer.imageInputsUnsupported":"ಈ ಮಾಡೆಲ್‌ ಇಮೇಜ್‌ ಇನ್‌ಪುಟ್‌ಗಳನ್ನು ಬೆಂಬಲಿಸುವುದಿಲ್ಲ. ಬೇರೆ ಮಾಡೆಲ್‌ ಬಳಸಿ ನೋಡಿ.","composer.imageUploadFailed":"ಇಮೇಜ್ ಅಪ್ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","composer.includeIdeContextDropdown":"IDE ಕಾಂಟೆಕ್ಸ್ಟ್ ಅನ್ನು ಸೇರಿಸಿ","composer.includeIdeContextDropdown.ariaLabel":"IDE ಕಾಂಟೆಕ್ಸ್ಟ್ ಅನ್ನು ಸೇರಿಸಿ","composer.localCwdDropdown.addWorkspaceRoot":"ಹೊಸ ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","composer.localCwdDropdown.noActiveRoot":"ನಿಮ್ಮ ಪ್ರಾಜೆಕ್ಟ್ ಆರಿಸಿ","composer.localCwdDropdown.noResults":"ಪೋಲ್ಡರ್‌ಗಳು ಕಂಡುಬರಲಿಲ್ಲ","composer.localCwdDropdown.title":"ನಿಮ್ಮ ಪ್ರಾಜೆಕ್ಟ್ ಆರಿಸಿ","composer.localTaskError":"ಕಾನ್ವರ್ಸೆಷನ್ ಆರಂಭಿಸುವಾಗ ತಪ್ಪಾಗಿದೆ","composer.mcpSlashCommand.description":"MCP ಸರ್ವರ್‌ ಸ್ಥಿತಿಯನ್ನು ತೋರಿಸಿ","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ದೃಢೀಕರಿಸಿಲ್ಲ","composer.mcpStatus.authOauth":"ದೃಢೀಕರಿಸಲಾಗಿದೆ (OAuth)","composer.mcpStatus.authToken":"ದೃಢೀಕರಿಸಲಾಗಿದೆ (API ಕೀ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","composer.mcpStatus.disabled":"ಡಿಸೇಬಲ್ ಮಾಡಲಾಗಿದೆ","composer.mcpStatus.emptyLabel":"ಸರ್ವರ್‌ಗಳು:","composer.mcpStatus.emptyValue":"ಅಟ್ಟಣಿಸಿದ MCP ಸರ್ವರ್‌ಗಳಿಲ್ಲ","composer.mcpStatus.enabled":"ಎನೇಬಲ್ ಮಾಡಲಾಗಿದೆ","composer.mcpStatus.errorLabel":"ಸ್ಥಿತಿ:","composer.mcpStatus.errorValue":"MCP ಸ್ಥಿತಿ ಲೋಡ್ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ಏಜೆಂಟ್","composer.mode.agentMode.auto.dropdownLabel":"ಏಜೆಂಟ್","composer.mode.agentMode.auto.optionLabel":"ಏಜೆಂಟ್","composer.mode.agentMode.changePermission":"ಮೋಡ್‌ ಮಾರ್ಪಡಿಸಿ","composer.mode.agentMode.custom":"ಕಸ್ಟಮ್","composer.mode.agentMode.custom.dropdownLabel":"ಕಸ್ಟಮ್","composer.mode.agentMode.custom.option":"ಕಸ್ಟಮ್ (config.toml)","composer.mode.agentMode.custom.optionLabel":"ಕಸ್ಟಮ್ (config.toml)","composer.mode.agentMode.customInfo.cancel":"ರದ್ದುಮಾಡಿ","composer.mode.agentMode.customInfo.cli":"ನೀವು ಆ ಸೆಟಿಂಗ್‌ಗಳನ್ನು CLI ನಿಂದ ಇಲ್ಲವೇ ನೇರವಾಗಿ ಫೈಲ್‌ ತಿದ್ದುವ ಮೂಲಕ ಸರಿದೂಗಿಸಬಹುದು.","composer.mode.agentMode.customInfo.confirm":"ಕಸ್ಟಮ್ ಮೋಡ್‌ ಬಳಸಿ","composer.mode.agentMode.customInfo.description":"ಕಸ್ಟಮ್ ಮೋಡ್ ನಿಮ್ಮ config.toml ಫೈಲ್‌ನಲ್ಲಿ ವ್ಯಾಖ್ಯಾನಿಸಲಾದ ಅನುಮೋದನೆ ಮತ್ತು<link>ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್ ನೀತಿಗಳನ್ನು</link>ಅನ್ವಯಿಸುತ್ತದೆ.","composer.mode.agentMode.customInfo.docs":"ಕಾರ್ಯಗತಗೊಳಿಸುವ ಪರಿಸರ ದಾಖಲೆಗಳಲ್ಲಿ ಅಪ್ರೂವಲ್ ಮತ್ತು<link>ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್ ನೀತಿಗಳನ್ನು ಕಾನ್ಫಿಗರ್ ಮಾಡುವ ಬಗ್ಗೆ ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ.</link>.","composer.mode.agentMode.customInfo.refresh":"ಯಾವುದೇ ಚೇಂಜಸ್, ನೆಕ್ಸ್ಟ್ ಸಲ ಏಜೆಂಟ್‌ ನಡೆಯುವಾಗ ಸಲ್ಲುತ್ತವೆ.","composer.mode.agentMode.customInfo.title":"ಕಸ್ಟಮ್ ಮೋಡ್ ಹೇಗೆ ಕೆಲಸ ಮಾಡುತ್ತದೆ","composer.mode.agentMode.fullAccess":"ಏಜೆಂಟ್ (ಪೂರ್ತಿ ಅಕ್ಸೆಸ್)","composer.mode.agentMode.fullAccess.dropdownLabel":"ಏಜೆಂಟ್ (ಪೂರ್ತಿ ಅಕ್ಸೆಸ್)","composer.mode.agentMode.fullAccess.optionLabel":"ಏಜೆಂಟ್ (ಪೂರ್ತಿ ಅಕ್ಸೆಸ್)","composer.mode.agentMode.fullAccessConfirm.caution":"ಪೂರ್ತಿ ಅಕ್ಸೆಸ್ ಎನೇಬಲ್ ಮಾಡುವಾಗ ಎಚ್ಚರಿಕೆಯಿಂದಿರಿ. ಇದು ಡೇಟಾ ಕಳೆತ, ಸೋರಿಕೆಗಳು ಇಲ್ಲವೇ ಎದುರುನೋಡದ ನಡವಳಿಕೆಯ ಅಪಾಯವನ್ನು ತುಂಬ ಹೆಚ್ಚಿಸುತ್ತದೆ.","composer.mode.agentMode.fullAccessConfirm.confirm":"ಹೌದು, ಕಂಟಿನ್ಯೂ ಮಾಡಿ","composer.mode.agentMode.fullAccessConfirm.description":"ಕೋಡೆಕ್ಸ್‌ ಪೂರ್ತಿ ಅಕ್ಸೆಸ್ ನೊಂದಿಗೆ ನಡೆಯುವಾಗ, ನಿಮ್ಮ ಅಪ್ರೂವಲ್ ಇಲಲ್ದೆ, ಅದು ನಿಮ್ಮ ಕಂಪ್ಯೂಟರ್‌ನಲ್ಲಿ ಯಾವುದೇ ಫೈಲ್‌ ಅನ್ನು ತಿದ್ದಬಹುದು ಮತ್ತು ನೆಟ್‌ವರ್ಕ್‌ನಲ್ಲಿ ಕಮಾಂಡ್‌ಗಳನ್ನು ನಡೆಸಬಹುದು.","composer.mode.agentMode.fullAccessConfirm.goBack":"ರದ್ದುಮಾಡಿ","composer.mode.agentMode.fullAccessConfirm.title":"ಪೂರ್ತಿ ಅಕ್ಸೆಸ್ ಎನೇಬಲ್ ಮಾಡಬೇಕೇ?","composer.mode.agentMode.readOnly":"ಚಾಟ್","composer.mode.agentMode.readOnly.dropdownLabel":"ಚಾಟ್","composer.mode.agentMode.readOnly.optionLabel":"ಚಾಟ್","composer.mode.agentMode.tooltip":"ಮೋಡ್‌ ಮಾರ್ಪಡಿಸಿ","composer.mode.agentMode.tooltip.auto":"ಫೈಲ್‌ಗಳನ್ನು ಓದುವುದು ಮತ್ತು ತಿದ್ದುವುದು, ಹಾಗೂ ಕಮಾಂಡ್‌ಗಳನ್ನು ನಡೆಸುವುದು.","composer.mode.agentMode.tooltip.custom":"config.toml ನಲ್ಲಿ ಹುರುಳಿಸಿರುವ ಇತ್ತೀಚಿನ ಅಪ್ರೂವಲ್ ಮತ್ತು ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ನೀತಿಗಳನ್ನು ಬಳಸಿ.","composer.mode.agentMode.tooltip.fullAccess":"ನೆಟ್‌ವರ್ಕ್‌ ಬಳಸುಹಕ್ಕಿನೊಂದಿಗೆ ಕೋಡೆಕ್ಸ್‌ ಪ್ರಾಜೆಕ್ಟ್‌ ಹೊರಗಿನ ಫೈಲ್‌ಗಳನ್ನು ತಿದ್ದಬಲ್ಲುದು ಮತ್ತು ಕಮಾಂಡ್‌ಗಳನ್ನು ಎಸಗಬಲ್ಲುದು. ಬಳಸುವಾಗ ಎಚ್ಚರಿಕೆಯಿಂದಿರಿ.","composer.mode.agentMode.tooltip.readOnly":"ಫೈಲ್‌ಗಳನ್ನು ತಿದ್ದಲು ಮತ್ತು ಕಮಾಂಡ್‌ಗಳನ್ನು ನಡೆಸಲು ಅಪ್ರೂವಲ್ ಬೇಕಾಗಿದೆ.","composer.mode.cloud.tooltip":"ಕ್ಲೌಡ್‌ ಪರಿಸರದಲ್ಲಿ ಕೆಲಸ ಮಾಡಿ","composer.mode.contactAdmin":"ಹೆಚ್ಚಿನ ಅಕ್ಸೆಸ್ ಪಡೆಯಲು, ನಿಮ್ಮ ಅಡ್ಮಿನ್‌ರನ್ನು ಸಂಪರ್ಕಿಸಿ","composer.mode.local":"ಸ್ಥಳೀಯ","composer.mode.local.learnMore":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","composer.mode.local.model.custom":"ಕಸ್ಟಮ್","composer.mode.local.model.loadingModel":"ಮಾಡೆಲ್ ಲೋಡ್ ಆಗುತ್ತಿದೆ","composer.mode.local.model.selecrReasoningEffort":"ರೀಸನಿಂಗ್ ಆರಿಸಿ","composer.mode.local.model.selectModel":"ಮಾಡೆಲ್ ಆರಿಸಿ","composer.mode.local.model.tooltip":"ಮಾಡೆಲ್ ಅನ್ನು ಆಯ್ತ್ಕೆ ಮಾಡಿ ","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"ಹೆಚ್ಚು","composer.mode.local.reasoning.low.label":"ಕಡಿಮೆ","composer.mode.local.reasoning.medium.label":"ಮಧ್ಯಮ","composer.mode.local.reasoning.minimal.label":"ಕನಿಷ್ಠ","composer.mode.local.reasoning.none.label":"ಯಾವುದೂ ಇಲ್ಲ","composer.mode.local.reasoning.xhigh.label":"ಅತಿ ಹೆಚ್ಚು","composer.mode.localRemoteWhereRun":"ಟಾಸ್ಕ್‌ ಅನ್ನು ಎಲ್ಲಿ ಎಸಗಬೇಕೆಂದು ಆರಿಸಿ","composer.mode.newTask.header":"ಇದರಲ್ಲಿ ಮುಂದುವರಿಸಿ","composer.mode.rateLimit.day":"{days}ದಿನ","composer.mode.rateLimit.heading":"ಉಳಿದಿರುವ ರೇಟ್‌ ಲಿಮಿಟ್ಸ್","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} ಮಿತಿ:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ವಾರದ ಲಿಮಿಟ್} other {{weeks} ವಾರದ ಲಿಮಿಟ್}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ವಾರಕ್ಕೆ } other {{weeks} ವಾರ}}","composer.mode.remote.connectToCloud":"ಕೋಡೆಕ್ಸ್ ವೆಬ್‌ ಕನೆಕ್ಟ್‌ ಮಾಡಿ","composer.mode.remote.connectToCloudDisabledTooltip":"ಟಾಸ್ಕ್ ಗಳನ್ನು ಕ್ಲೌಡ್‌ಗೆ ಕಳುಹಿಸುವುದನ್ನು ಎನೇಬಲ್‌ ಮಾಡಲು ಕೋಡೆಕ್ಸ್‌ ವೆಬ್‌ ಮೂಲಕ ಪರಿಸರ ನೆಲೆಗೊಳಿಸಿ","composer.mode.remote.selectEnvironment":"ಪರಿಸರ ಆರಿಸಿ","composer.mode.remote.sendToCloud":"ಕ್ಲೌಡ್‌ಗೆ ಕಳುಹಿಸಿ","composer.mode.remote.setupViaWeb":"ಕೋಡೆಕ್ಸ್‌ ವೆಬ್‌ ಮೂಲಕ ಪರಿಸರ ನೆಲೆಗೊಳಿಸಿ","composer.mode.runInCloud":"ಕ್ಲೌಡ್‌","composer.mode.runInCloudWithEnvironment":"ಕ್ಲೌಡ್‌ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ಕ್ಲೌಡ್‌ ಪರಿಸರದಲ್ಲಿ ಕೆಲಸ ಮಾಡಿ","composer.mode.segmentedToggle.local.tooltip":"ನಿಮ್ಮ ಸ್ಥಳೀಯ ಪ್ರಾಜೆಕ್ಟ್‌ನಲ್ಲಿ ಕೆಲಸಮಾಡಿ","composer.mode.segmentedToggle.worktree.tooltip":"ಹೋಲುವ ವರ್ಕ್‌ಟ್ರೀಯಲ್ಲಿ ಕೆಲಸಮಾಡಿ","composer.mode.upgradeToPlus":"ಪ್ಲಸ್‌ಗೆ ಅಪ್ಗ್ರೇಡ್ ಮಾಡಿ","composer.mode.upgradeToPro":"Pro‌ಗೆ ಅಪ್‌ಗ್ರೇಡ್‌ ಮಾಡಿ","composer.mode.workLocally":"ಸ್ಥಳೀಯ ಪ್ರಾಜೆಕ್ಟ್","composer.mode.workLocally.currentBranchFallback":"ನಿಮ್ಮ ಕವಲು","composer.mode.workLocally.tooltip":"{branchName} ನಲ್ಲಿ ಕೆಲಸಮಾಡಿ","composer.mode.worktree":"ಹೊಸ ವರ್ಕ್‌ಟ್ರೀ","composer.mode.worktree.submoduleWarning":"ಈ ರೆಪೊದಲ್ಲಿ ಜಿಟ್ ಸಬ್‌ ಮಾಡ್ಯೂಲ್‌ಗಳಿವೆ. ವರ್ಕ್‌ಟ್ರೀ ರಚನೆ ವಿಫಲವಾಗಬಹುದು.","composer.mode.worktree.tooltip":"ಒಟ್ಟೊಟ್ಟಿಗೆ ಕೆಲಸ ಮಾಡಲು ನಿಮ್ಮ ಸ್ಥಳೀಯ ಪ್ರಾಜೆಕ್ಟ್‌ನ ಪಡಿಯಚ್ಚು ಹುಟ್ಟುಹಾಕಿ","composer.mode.worktreeSegment":"ವರ್ಕ್‌ಟ್ರೀ","composer.modelChangeDuringConversationWarning.toast":"ಸಂಭಾಷಣೆಯ ಮಧ್ಯದಲ್ಲಿ ಮಾಡೆಲ್‌ಗಳನ್ನು ಬದಲಾಯಿಸುವುದರಿಂದ ಕಾರ್ಯಕ್ಷಮತೆ ಕುಸಿಯುತ್ತದೆ.","composer.newChat.heading.browser":"ನಾವು ಮುಂದೆ ಯಾವ ಕೋಡ್‌ ಬರೆಯಬಹುದು?","composer.permissionsDropdown.agentMode.tooltip.custom":"config.toml ನಲ್ಲಿ ಹುರುಳಿಸಿದ ಒಪ್ಪಿಗೆಯನ್ನು ಕೋಡೆಕ್ಸ್‌ ಬಳಸುತ್ತದೆ.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"ಕೋಡೆಕ್ಸ್‌ ನಿಮ್ಮ ಕಂಪ್ಯೂಟರ್‌ನ ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು ಪಡೆದಿದೆ (ಮೇಲೆತ್ತಿದ ಕೇಡು)","composer.permissionsDropdown.custom.label":"ಕಸ್ಟಮ್ (config.toml)","composer.permissionsDropdown.custom.optionLabel":"ಕಸ್ಟಮ್ (config.toml)","composer.permissionsDropdown.default.label":"ಮೊದಲಾಯ್ಕೆಯ ಒಪ್ಪಿಗೆಗಳು","composer.permissionsDropdown.default.optionLabel":"ಮೊದಲಾಯ್ಕೆಯ ಒಪ್ಪಿಗೆಗಳು","composer.permissionsDropdown.default.tooltip":"ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ ತನ್ನಡೆತದಿಂದ ಕಮಾಂಡ್‌ಗಳನ್ನು ನಡೆಸುತ್ತದೆ","composer.permissionsDropdown.disabled.requirements":"requirements.toml ನಿಂದ ಒಪ್ಪಿಗೆಗಳಿಗೆ ಬೀಗ ಹಾಕಲಾಗಿದೆ","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml ನಿಂದ ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು ಡಿಸೇಬಲ್‌ ಆಗಿದೆ","composer.permissionsDropdown.fullAccess.label":"ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು","composer.permissionsDropdown.fullAccess.optionLabel":"ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು","composer.permissionsDropdown.trigger.tooltip":"ಒಪ್ಪಿಗೆಗಳನ್ನು ಮಾರ್ಪಡಿಸಿ","composer.personalitySlashCommand.description.friendly":"ಸವಿಯಾದ, ಕೂಡಿಗೆಯ್ಯುವ ಮತ್ತು ನೆರವಾಗುವ","composer.personalitySlashCommand.description.pragmatic":"ಅಡಕವಾದ, ಟಾಸ್ಕ್‌ ಮೇಲಿನ ಗಮನದ ಮತ್ತು ನೇರವಾದ","composer.personalitySlashCommand.label.friendly":"ಸ್ನೇಹಪೂರ್ವ","composer.personalitySlashCommand.label.pragmatic":"ಪ್ರಾಯೋಗಿಕ","composer.personalitySlashCommand.notApplicableSuffix":"(ಪ್ರಸ್ತುತ ಮಾಡೆಲ್‌ಗೆ ಅನ್ವಯಿಸುವುದಿಲ್ಲ)","composer.personalitySlashCommand.title":"ಪರ್ಸನಾಲಿಟಿ","composer.placeholder.cloudFollowUp.directFollowUp":"ಈ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಅನ್ನು ಫಾಲೋ ಮಾಡಿ","composer.placeholder.cloudFollowUp.local":"ಈ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್‌ ಅನ್ನು ಹೆಸರಿಸುವ ಹೊಸ ಸ್ಥಳೀಯ ಟಾಸ್ಕ್‌ ಕ್ರಿಯೇಟ್ ಮಾಡಿ","composer.placeholder.cloudFollowUp.workingTree":"ನಿಮ್ಮ ಈಗಿನ ಕೋಡ್‌ ಒಳಗೊಂಡಿರುವ ಮತ್ತು ಈ ಟಾಸ್ಕ್‌ ಅನ್ನು ಹೆಸರಿಸುವ ಹೊಸ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್‌ ಕ್ರಿಯೇಟ್ ಮಾಡಿ","composer.placeholder.localFollowUp.cloud":"ಹೊಸ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್‌ನಲ್ಲಿ ಮುಂದುವರಿಕೆ","composer.placeholder.localFollowUp.locally":"ಮುಂದುವರಿಕೆ ಚೇಂಜಸ್ಗಳಿಗಾಗಿ ಕೇಳಿ","composer.placeholder.newTask.cloud":"ಕ್ಲೌಡ್‌ನಲ್ಲಿ ಏನನ್ನಾದರೂ ಮಾಡಲು ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ಕೇಳಿ","composer.placeholder.newTask.doAnything":"ಏನನ್ನಾದರೂ ಮಾಡಲು ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ಕೇಳಿ","composer.placeholder.newTask.locally":"ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ಏನಾದರು ಕೇಳಿ. @ ಫೈಲ್ ಗಳನ್ನು ಸೇರಿಸಲು, / ಆಜ್ನೆಗಳಿಗಾಗಿ","composer.planModeDropdown":"ಪ್ಲಾನ್ ಮೋಡ್","composer.planModeDropdown.ariaLabel":"ಪ್ಲಾನ್ ಮೋಡ್","composer.planModeIndicator":"ಯೋಜನೆ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"ಕೋಡೆಕ್ಸ್‌ನೊಂದಿಗೆ ಪ್ಲಾನ್‌ ಹುಟ್ಟುಹಾಕಿ","composer.planModeIndicator.tooltipToggle":"ಟಾಗಲ್ ಮಾಡಲು","composer.planSlashCommand.disableDescription":"ಪ್ಲಾನ್ ಮೋಡ್ ಅನ್ನು ಆಫ್ ಮಾಡಿ","composer.planSlashCommand.enableDescription":"ಪ್ಲಾನ್ ಮೋಡ್ ಆನ್ ಮಾಡಿ","composer.planSlashCommand.title":"ಪ್ಲಾನ್ ಮೋಡ್","composer.priorContext.label":"ಹಿಂದಿನ ಕಾಂಟೆಕ್ಸ್ಟ್","composer.priorContext.removeAriaLabel":"ಹಿಂದಿನ ಕಾಂಟೆಕ್ಸ್ಟ್ ರಿಮೂವ್ ಮಾಡಿ","composer.queuedMessage.delete":"ಸರತಿಸಾಲಿನಲ್ಲಿರುವ ಸಂದೇಶವನ್ನು ಅಳಿಸಿ","composer.queuedMessage.edit":"ಸಂದೇಶವನ್ನು ಸಂಪಾದಿಸಿ","composer.queuedMessage.more":"ಸರತಿಸಾಲಿನಲ್ಲಿರುವ ಸಂದೇಶದ ಆಕ್ಶನ್‌ಗಳು","composer.queuedMessage.sendNow":"ಸ್ಟಿಯರ್‌","composer.queuedMessage.sendNowTooltip":"ಕೆಲಸಕ್ಕೆ ಅಡ್ಡಿಯಾಗದಂತೆ ಈಗ ಕಳುಹಿಸಿ","composer.queuedMessage.turnOff":"ಸರತಿಸಾಲಿಗೆ ಸೇರಿಸುವುದನ್ನು ಆಫ್‌ ಮಾಡಿ","composer.reasoningEffort.local.reasoning.tooltip":"ರೀಸನಿಂಗ್ ಪ್ರಯತ್ನ ಆರಿಸಿ","composer.remote.branchStartingPoint":"ಈ‌ ಟಾಸ್ಕ್ ಯಾವ ಕವಲಿನಿಂದ ಆರಂಭವಾಗಬೇಕು?","composer.remote.branchesSectionHeading":"ವಿಭಾಗಗಳು","composer.remote.currentEditsSuffix.followUp":"ಈ ಕ್ಲೌಡ್‌ ಟಾಸ್ಕ್ ಅನ್ನು ಹೆಸರಿಸುವ ಹೊಸ ಟಾಸ್ಕ್ ಕ್ರಿಯೇಟ್ ಮಾಡಿ.","composer.remote.currentEditsSuffix.useLocal":"ಸ್ಥಳೀಯ ಕೋಡ್‌ ಚೇಂಜಸ್ ಗಳೊಂದಿಗೆ","composer.remote.directFollowUp":"ಸ್ಥಳೀಯ ಚೇಂಜಸ್ ಅನ್ನು ಬಳಸಬೇಡಿ","composer.remote.errorLoadingBranches":"ಬ್ರಾಂಚ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡುವಾಗ ತಪ್ಪಾಗಿದೆ","composer.remote.fromBranch":"{branch} ರಿಂದ","composer.remote.fromCurrentBranch":"{branch} ನಿಂದ (ಈಗಿನ)","composer.remote.loadingMoreBranches":"ಲೋಡ್ ಆಗುತ್ತಿದೆ...","composer.remote.localFileStateHeading":"ಸ್ಥಳೀಯ ಫೈಲ್‌ ಸ್ಥಿತಿ","composer.remote.localWorkingTree":"ಸ್ಥಳೀಯ ಚೇಂಜಸ್ ಅನ್ನು ಬಳಸಿ","composer.remote.startingPoint":"ಈ‌ ಟಾಸ್ಕ್ ಯಾವ ಕೋಡ್‌ನಿಂದ ಆರಂಭವಾಗಬೇಕು?","composer.reviewMode.branches.error":"ಕವಲುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ","composer.reviewMode.branches.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","composer.reviewMode.gitRoot.error":"Git root ಕಂಡುಬಂದಿಲ್ಲ","composer.reviewMode.option.baseBranch.simple":"ಬುಡಮಟ್ಟದ ಕವಲಿನ ಹೋಲಿಕೆಯಲ್ಲಿ ರಿವ್ಯೂ ಮಾಡಿ","composer.reviewMode.option.unstaged.simple":"ಕಮಿಟ್‌ ಆಗದ ಚೇಂಜಸ್ ಅನ್ನು ರಿವ್ಯೂ ಮಾಡಿ","composer.reviewMode.quickReviewError":"ಕೋಡ್‌ ರಿವ್ಯೂ ಆರಂಭಿಸಲು ಆಗಲಿಲ್ಲ.","composer.reviewMode.title":"ಕೋಡ್ ರಿವ್ಯೂ","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml ನಿಂದ ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು ಡಿಸೇಬಲ್‌ ಆಗಿದೆ","composer.sandboxButton.windowsSandboxDialog.content":"ಫೈಲ್‌ಸಿಸ್ಟಮ್‌ ಮತ್ತು ನೆಟ್‌ವರ್ಕ್‌ ಬಳಸುಹಕ್ಕನ್ನು ಹದ್ದಿನಲ್ಲಿಡಲು ವಿಂಡೋಸ್‌ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ ಒರೆತದ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಬಳಸಬಹುದು.{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"ವಿಂಡೋಸ್ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್ ಎನೇಬಲ್‌ ಮಾಡಬೇಕೇ?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"ಬರೀ ಓದಬಲ್ಲ ಮೋಡ್‌ ಬಳಸಿ","composer.searchEnvironments":"ಪರಿಸರಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಿ","composer.skillMentionList.app":"ಆ್ಯಪ್‌","composer.skillMentionList.appLogoAlt":"{name} ಲೋಗೋ","composer.skillMentionList.loading":"ಸ್ಕಿಲ್ಸ್ ಅನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","composer.skillMentionList.noResults":"ಸ್ಕಿಲ್ಸ್ ಕಂಡುಬಂದಿಲ್ಲ","composer.slashCommands.cloudEnvironment.title":"ಕ್ಲೌಡ್‌ ಪರಿಸರ","composer.slashCommands.dialogLabel":"ಸ್ಲ್ಯಾಶ್‌ ಕಮಾಂಡ್ ಮೆನ್ಯು","composer.slashCommands.dialogTitle":"ಸ್ಲ್ಯಾಶ್‌ ಕಮಾಂಡ್‌ಗಳು","composer.slashCommands.disabledTooltip":"ಸ್ಲ್ಯಾಶ್‌ ಕಮಾಂಡ್‌ಗಳನ್ನು ಬಳಸಲು ಹೊಸ ಕಾನ್ವರ್ಸೇಷನ್ ಶುರುಮಾಡಿ","composer.slashCommands.inputPlaceholder":"ಸರ್ಚ್ ಮಾಡಿ","composer.slashCommands.noResults":"ಕಮಾಂಡ್‌ಗಳಿಲ್ಲ","composer.slashCommands.skillsGroup":"ಸ್ಕಿಲ್ಸ್","composer.slashCommands.tooltip":"ಸ್ಲ್ಯಾಶ್‌ ಕಮಾಂಡ್‌ಗಳನ್ನು ಬ್ರೌಸ್ ಮಾಡಿ","composer.status.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","composer.statusPlain.alertLabel":"ಎಚ್ಚರಿಕೆ:","composer.statusPlain.alertValue":"{window} ನಲ್ಲಿ {remaining}% ಉಳಿದಿದೆ","composer.statusPlain.contextLabel":"ಕಾಂಟೆಕ್ಸ್ಟ್:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ಬಳಸಲಾಗಿದೆ / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% ಉಳಿದಿದೆ","composer.statusPlain.heading":"ಸ್ಥಿತಿ","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ಮಿತಿ:","composer.statusPlain.rateLimitDays":"{count} ದಿನಗಳ ಎಲ್ಲೆ","composer.statusPlain.rateLimitFallbackLabel":"ರೇಟ್‌ ಎಲ್ಲೆ:","composer.statusPlain.rateLimitHours":"{count}ತಾಸಿನ ಎಲ್ಲೆ","composer.statusPlain.rateLimitLabelBase":"ರೇಟ್‌ ಎಲ್ಲೆ","composer.statusPlain.rateLimitMinutes":"{count}ನಿಮಿಷಗಳ ಎಲ್ಲೆ","composer.statusPlain.rateLimitPercent":"{remaining}% ಉಳಿದಿದೆ","composer.statusPlain.rateLimitReset":"ರಿಸೆಟ್ ಆಗುವ ಹೊತ್ತು {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"ರಿಸೆಟ್ ಹೊತ್ತು ದೊರೆಯುತ್ತಿಲ್ಲ","composer.statusPlain.rateLimitUnavailable":"ದೊರೆಯುತ್ತಿಲ್ಲ","composer.statusPlain.sessionCopiedAriaLabel":"ಸೆಶನ್‌ ID ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","composer.statusPlain.sessionCopiedTooltip":"ID ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","composer.statusPlain.sessionCopyAriaLabel":"ಸೆಶನ್‌ ID ಕಾಪಿ ಮಾಡಿ","composer.statusPlain.sessionCopyTooltip":"ID ಕಾಪಿ ಮಾಡಿ","composer.statusPlain.sessionLabel":"ಸೆಶನ್‌:","composer.statusSlashCommand.description":"ಥ್ರೆಡ್‌ ಐಡಿ, ಕಾಂಟೆಕ್ಸ್ಟ್ ಬಳಕೆ ಮತ್ತು ರೇಟ್‌ ಎಲ್ಲೆಗಳನ್ನು ತೋರಿಸಿ","composer.statusSlashCommand.title":"ಸ್ಥಿತಿ","composer.submit.blockedDialogOk":"ಸರಿ","composer.submit.blockedDialogTitle":"ಸಂದೇಶ ಕಳುಹಿಸಲು ಆಗುತ್ತಿಲ್ಲ","composer.submit.emptyMessage":"ಆರಂಭಿಸಲು ಸಂದೇಶ ಬರೆಯಿರಿ","composer.submit.imageInputsUnsupported":"ಈ ಸಂದೇಶ ಕಳುಹಿಸಲು ಇಮೇಜ್‌ಗಳನ್ನು ತೆಗೆದುಹಾಕಿ ಇಲ್ಲವೇ ಮಾಡೆಲ್‌ಗಳನ್ನು ಮಾರ್ಪಡಿಸಿ.","composer.submit.loadingLocalConfig":"ಲೋಡ್ ಆಗುತ್ತಿದೆ...","composer.submit.missingCloudConfig":"ನೀವು ಕ್ಲೌಡ್‌ ಪರಿಸರವೊಂದನ್ನು ಆಯ್ಕೆಮಾಡಲೇಬೇಕು","composer.submit.missingCloudTurn":"ಈ ಟಾಸ್ಕ್ ಅನ್ನು ಮುಂದುವರಿಸಲು ಆಗುವುದಿಲ್ಲ","composer.submit.noWorkspace":"ಕೋಡೆಕ್ಸ್‌ ಬಳಸಲು ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","composer.submit.waitForImageUploads":"ಇಮೇಜ್‌ಗಳು ಅಪ್‌ಲೋಡ್‌ ಆಗುತ್ತಿವೆ...","composer.submitButtonTooltip.send":"ಕಳುಹಿಸಿ","composer.submitButtonTooltip.stop":"ನಿಲ್ಲಿಸಿ","composer.worktreeEnvironment.create":"ಸ್ಥಳೀಯ ಪರಿಸರ ಹುಟ್ಟುಹಾಕಿ","composer.worktreeEnvironment.default":"ಮೊದಲಾಯ್ಕೆಯ ಪರಿಸರ","composer.worktreeEnvironment.error":"ಪರಿಸರಗಳನ್ನು ಲೋಡ್ ಮಾಡುವಲ್ಲಿ ತಪ್ಪಾಗಿದೆ","composer.worktreeEnvironment.loading":"ಪರಿಸರಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","composer.worktreeEnvironment.title":"ಸ್ಥಳೀಯ ಪರಿಸರ","composer.worktreeEnvironment.tooltip":"ಸ್ಥಳೀಯ ಪರಿಸರ ಆರಿಸಿ","composer.worktreeSetupFailed":"ವರ್ಕ್‌ಟ್ರೀ ನೆಲೆಗೊಳಿಕೆ ಆಗಲಿಲ್ಲ. ನೆಲೆಗೊಳಿಕೆ ಸ್ಕ್ರಿಪ್ಟ್‌ಗಾಗಿ .codex/environments ನೋಡಿ.","compoundButton.secondaryAction":"ಎರಡನೇ ಆಕ್ಶನ್‌","copyButton.copied":"ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","copyButton.copiedAriaLabel":"ಕಾಪಿ ಮಾಡಲಾಗಿದೆ","copyButton.copy":"ಕಾಪಿ ಮಾಡಿ","copyButton.copyAriaLabel":"ಕಾಪಿ ಮಾಡಿ","copyButton.copyCode":"ಕೋಡ್ ನಕಲಿಸಿ","diff.actionButton.revertFile":"ಫೈಲ್‌ ಅನ್ನು ರಿವರ್ಟ್ ಮಾಡಿ","diff.actionButton.revertHunk":"ರೀವರ್ಟ್ ಮಾಡಿ","diff.actionButton.revertSection":"ಎಲ್ಲವನ್ನು ರಿವರ್ಟ್ ಮಾಡಿ","diff.actionButton.revertSectionLabel":"ಎಲ್ಲವನ್ನು ರಿವರ್ಟ್ ಮಾಡಿ","diff.actionButton.stageFile":"ಫೈಲ್‌ ಏರ್ಪಡಿಸಿ","diff.actionButton.stageHunk":"ಏರ್ಪಡಿಸಿ","diff.actionButton.stageSection":"ಎಲ್ಲವನ್ನು ಏರ್ಪಡಿಸಿ","diff.actionButton.stageSectionLabel":"ಎಲ್ಲವನ್ನು ಏರ್ಪಡಿಸಿ","diff.actionButton.unstageFile":"ಫೈಲ್‌ ಏರ್ಪಡಿಸದಿರಿ","diff.actionButton.unstageHunk":"ಏರ್ಪಡಿಸದಿರಿ","diff.actionButton.unstageSection":"ಎಲ್ಲವನ್ನು ಏರ್ಪಡಿಸದಿರಿ","diff.actionButton.unstageSectionLabel":"ಎಲ್ಲವನ್ನು ಏರ್ಪಡಿಸದಿರಿ","diff.fileHeader.toggle":"ಫೈಲ್‌ diff ಟಾಗಲ್‌","electron.onboarding.login.apikey.cancel":"ರದ್ದುಮಾಡಿ","electron.onboarding.login.apikey.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","electron.onboarding.login.apikey.label":"OpenAI API ಕೀ","electron.onboarding.login.apikey.open":"API ಕೀ ಬರೆಯಿರಿ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"ಸೈನ್ ಇನ್ ರದ್ದುಮಾಡಿ","electron.onboarding.login.chatgpt.continue":"ChatGPT ಯೊಂದಿಗೆ ಮುಂದುವರಿಸಿ","electron.onboarding.login.devbox":"ದೂರದ SSH ಗೆ ಕೂಡಿಸಿ","electron.onboarding.login.error":"ಸೈನ್ ಇನ್ ಆಗಲಿಲ್ಲ: {rawMessage}","electron.onboarding.login.snake.start":"ಸ್ನೇಕ್ ಆಟವನ್ನು ಆಡಿ","electron.onboarding.login.sshConfig.cancel":"ರದ್ದುಮಾಡಿ","electron.onboarding.login.sshConfig.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","electron.onboarding.login.sshConfig.hostnameLabel":"SSH ಹೋಸ್ಟ್‌ ಹೆಸರು","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ಏಜೆಂಟ್‌ಗಳೊಂದಿಗೆ ಕಟ್ಟಲು ಹೇಳಿ ಮಾಡಿಸಿದ ದಾರಿ","electron.onboarding.login.title":"ಕೋಡೆಕ್ಸ್‌ಗೆ ಸುಸ್ವಾಗತ","electron.onboarding.shell.title":"ಕೋಡೆಕ್ಸ್‌","electron.onboarding.welcome.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","electron.onboarding.welcome.doubleLimits.description":"ಕೋಡೆಕ್ಸ್‌ ಆಪ್‌ ತೊಡಗಿಕೆಯನ್ನು ಕೊಂಡಾಡಲು, ಏಪ್ರಿಲ್‌ 2 ರವರೆಗೆ ನಿಮಗೆ 2× ರೇಟ್‌ ಎಲ್ಲೆಗಳು ದೊರೆಯುತ್ತವೆ.","electron.onboarding.welcome.freego.description":"ಮಾರ್ಚ್‌ 2ನೇ ತೇದಿಯವರೆಗೆ ನಿಮ್ಮ ಪ್ಲಾನ್‌ನಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ ಇರುತ್ತದೆ - ಒಟ್ಟಿಗೆ ಕಟ್ಟುವುದನ್ನು ಆರಂಭಿಸೋಣ ಬನ್ನಿ.","electron.onboarding.welcome.new.title.anon":"ಸ್ವಾಗತ!","electron.onboarding.workspace.continue":"ಮುಂದುವರಿಸಿ","electron.onboarding.workspace.empty":"ಮುಂದುವರಿಸಲು ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ.","electron.onboarding.workspace.listLabel":"ದೊರೆಯುವ ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು","electron.onboarding.workspace.loading":"ಪ್ರಾಜೆಕ್ಟ್‌ಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","electron.onboarding.workspace.openFolder":"ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","electron.onboarding.workspace.selectAll":"ಎಲ್ಲವನ್ನೂ ಆಯ್ಕೆಮಾಡಿ","electron.onboarding.workspace.skip":"ಬಿಟ್ಟುಬಿಡಿ","electron.onboarding.workspace.skip.error":"ಹೊಸ ಪ್ರಾಜೆಕ್ಟ್ ಹುಟ್ಟುಹಾಕಲು ಆಗಲಿಲ್ಲ: {message}","electron.onboarding.workspace.skip.error.unknown":"ತಿಳಿಯದ ತಪ್ಪು","electron.onboarding.workspace.skipping":"ಹೊಸ ಪ್ರಾಜೆಕ್ಟ್ ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ...","electron.onboarding.workspace.subtitle":"ಆರಿಸಿದ ಫೋಲ್ಡರ್‌ಗಳಲ್ಲಿ ಕೋಡೆಕ್ಸ್‌ ಫೈಲ್‌ಗಳನ್ನು ತಿದ್ದಬಲ್ಲುದು ಮತ್ತು ಕಮಾಂಡ್‌ಗಳನ್ನು ಎಸಗಬಲ್ಲುದು.","electron.onboarding.workspace.title":"ಪ್ರಾಜೆಕ್ಟ್ ಆಯ್ಕೆಮಾಡಿ","errorPage.list.checkSettings":"ನಿಮ್ಮ IDE ಸೆಟಿಂಗ್‌ಗಳನ್ನು ಅಪ್‌ಡೇಟ್‌ ಮಾಡಲು ನೋಡಿ","errorPage.list.configToml":"ತಪ್ಪಾದ ಸೆಟಿಂಗ್‌ಗಳಿಗಾಗಿ ನಿಮ್ಮ config.toml ನೋಡಿ","errorPage.list.downloadExtension":"ಎಕ್ಸ್‌ಟೆನ್ಶನ್‌ನ ಬೇರೆ ಆವೃತ್ತಿ ಡೌನ್‌ಲೋಡ್‌ ಮಾಡಲು ನೋಡಿ","errorPage.list.runInWsl":"ಹೊಂದಿಕೆಯ ತೊಡಕುಗಳು ಕಂಡುಬಂದರೆ, WSL ನಲ್ಲಿ ನಡೆಸುವುದನ್ನು ಡಿಸೇಬಲ್‌ ಮಾಡಲು ಸೆಟಿಂಗ್‌ಗಳನ್ನು ನೋಡಿ","execApprovalRequest.menu.runAlways":"ಹೌದು, ಮತ್ತು ಈ ಸೆಷನ್‌ನಲ್ಲಿ ಪುನಃ ಕೇಳಬೇಡಿ","execApprovalRequest.menu.runAlwaysWithAmendment":"ಹೌದು, ಮತ್ತು {command}ರಿಂದ ಪ್ರಾರಂಭವಾಗುವ ಕಮಾಂಡ್‌ಗಳಿಗಾಗಿ ಮತ್ತೆ ಕೇಳಬೇಡಿ","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ಹೌದು, ಮತ್ತು ಇದರಿಂದ ಪ್ರಾರಂಭವಾಗುವ ಕಮಾಂಡ್‌ಗಳಿಗಾಗಿ ಮತ್ತೆ ಕೇಳಬೇಡಿ","execApprovalRequest.menu.runOnce":"ಹೌದು","execApprovalRequest.prompt":"ನೀವು ಈ ಕಮಾಂಡ್ ಅನ್ನು ರನ್ ಮಾಡಬೇಕೆ?","execApprovalRequest.reject":"ಇಲ್ಲ","execFooter.exitCode":"ಎಕ್ಸಿಟ್‌ ಕೋಡ್‌ {code}","execFooter.exitCode.unknown":"ತಿಳಿಯದ","execFooter.success":"ಯಶಸ್ಸು","feedback.dialog.category.badResult":"ಕೆಟ್ಟ ಫಲಿತಾಂಶ","feedback.dialog.category.bug":"ಬಗ್‌","feedback.dialog.category.goodResult":"ಒಳ್ಳೆಯ ಫಲಿತಾಂಶ","feedback.dialog.category.other":"ಇತರೆ","feedback.dialog.category.safetyCheck":"ಕಾಪುಗೆ ಪರಿಶೀಲನೆ","feedback.dialog.descriptionPlaceholder":"ತೊಡಕು ಏನೆಂದು ಇಲ್ಲಿ ಬಣ್ಣಿಸಿ","feedback.dialog.dismiss":"ತಳ್ಳಿಹಾಕಿ","feedback.dialog.includeLogsLabel":"ಈಗಿನ ಕೋಡೆಕ್ಸ್ ಸೆಶನ್‌ ಲಾಗ್‌ಗಳನ್ನು ಸೇರಿಸಿ","feedback.dialog.submit":"ಸಬ್ಮಿಟ್ ಮಾಡಿ","feedback.dialog.submitError":"ನಿಮ್ಮ ಫೀಡ್ಬ್ಯಾಕ್ ಸಬ್ಮಿಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ತುಸುಹೊತ್ತಿನಲ್ಲೇ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.","feedback.dialog.title":"ಫೀಡ್ಬ್ಯಾಕ್","feedback.dialog.uploadedMessage.existingIssue":"ಇರುವ ತೆರೆದ ತೊಡಕು","feedback.dialog.uploadedMessage.openIssue":"GitHub ತೊಡಕು ತೆರೆಯಿರಿ","feedback.dialog.uploadedMessage.withThread":"ಫೀಡ್ಬ್ಯಾಕ್ ಅಪ್ಲೋಡ್ ಆಗಿದೆ. ತೊಂದರೆ ಮುಂದುವರಿದರೆ, ದಯವಿಟ್ಟು {openIssueLink} ಇಲ್ಲವೇ {existingIssueLink} ರಲ್ಲಿ ಥ್ರೆಡ್‌ ಐಡಿ ಹೆಸರಿಸಿ:","feedback.dialog.uploadedTitle":"ಫೀಡ್ಬ್ಯಾಕ್ ಅಪ್ಲೋಡ್ ಆಗಿದೆ","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} ರಿಮೂವ್ ಮಾಡಿ","header.back":"ಹಿಂದಕ್ಕೆ","header.recentChats":"ಟಾಸ್ಕ್ ಗಳು","header.recentTasks.seeAll":"ಎಲ್ಲವನ್ನೂ ನೋಡಿ ({total})","home.header.getPlus":"ಪ್ಲಸ್ ಪಡೆಯಿರಿ","home.hero.letsBuild":"ಬನ್ನಿ ಕಟ್ಟೋಣ","homePage.mainContent":"ಮುಖ್ಯ ಕಾಂಟೆಂಟ್‌","imageAttachment.defaultName":"ಇಮೇಜ್","imageAttachment.preview.close":"ಚಿತ್ರ ಪೂರ್ವವೀಕ್ಷಣೆಯನ್ನು ಮುಚ್ಚಿರಿ","imageAttachment.removeAriaLabel":"{filename} ರಿಮೂವ್ ಮಾಡಿ","implementPlanRequest.option.implement":"ಹೌದು, ಈ ಯೋಜನೆಯನ್ನು ಜಾರಿಗೆ ತನ್ನಿ","implementPlanRequest.prompt":"ಈ ಯೋಜನೆಯನ್ನು ಜಾರಿಗೆ ತರಬೇಕೆ?","inbox.archived.deleteError":"ಆರ್ಕೈವ್‌ ಮಾಡಲಾದ ಎಸಗಿಕೆಯನ್ನು ಅಳಿಸಲು ಆಗಲಿಲ್ಲ","inbox.archived.deleteRun":"ಆರ್ಕೈವ್‌ ಮಾಡಲಾದ ಎಸಗಿಕೆಯನ್ನು ಅಳಿಸಿ","inbox.archived.deleteSuccess":"ಆರ್ಕೈವ್‌ ಮಾಡಲಾದ ಥ್ರೆಡ್‌ ಅನ್ನು ಅಳಿಸಲಾಗಿದೆ. <settingsLink>ಆರ್ಕೈವ್ ಮಾಡಲಾದ ಥ್ರೆಡ್‌ಗಳು</settingsLink> ನಲ್ಲಿ ನೋಡಿ.","inbox.archived.inlineLabel.auto":"ಈ ಥ್ರೆಡ್‌ ತನ್ನಡೆತದಿಂದ ಆರ್ಕೈವ್‌ ಆಗಿದೆ. <learnMoreLink>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</learnMoreLink>","inbox.archived.inlineLabel.manual":"ಈ ಥ್ರೆಡ್ ಅನ್ನು ಆರ್ಕೈವ್‌ ಮಾಡಲಾಗಿದೆ.","inbox.archived.noMessageFound":"ಯಾವುದೇ ಸಂದೇಶ ಕಂಡುಬಂದಿಲ್ಲ","inbox.automations.createError":"ತನ್ನಡೆತ ಹುಟ್ಟುಹಾಕಲು ಆಗಲಿಲ್ಲ","inbox.automations.deleteConfirm.cancel":"ರದ್ದುಮಾಡಿ","inbox.automations.deleteConfirm.confirm":"ತನ್ನಡೆತ ಅಳಿಸಿ","inbox.automations.deleteConfirm.description":"ಇದು ತನ್ನಡೆತವನ್ನು ಶಾಶ್ವತವಾಗಿ ಅಳಿಸುತ್ತದೆ ಮತ್ತು ಯಾವುದೇ ಮುಂದಿನ ಎಸಗಿಕೆಗಳನ್ನು ನಿಲ್ಲಿಸುತ್ತದೆ.","inbox.automations.deleteConfirm.title":"{name} ಡಿಲೀಟ್ ಮಾಡಬೇಕೇ?","inbox.automations.deleteError":"ತನ್ನಡೆತವನ್ನು ಅಳಿಸಲು ಆಗಲಿಲ್ಲ","inbox.automations.editTooltip":"ಸ್ವಯಂಚಾಲಿತತೆಯನ್ನು ತಿದ್ದಿ","inbox.automations.inProgress":"ಪ್ರಗತಿಯಲ್ಲಿದೆ","inbox.automations.new":"ಹೊಸ","inbox.automations.newToolbar":"ಹೊಸ ಯಾಂತ್ರೀಕರಣ","inbox.automations.pauseTooltip":"ತನ್ನಡೆತವನ್ನು ತಡೆಯಲಾಗಿದೆ","inbox.automations.resumeTooltip":"ತನ್ನಡೆತವನ್ನು ಮುಂದುವರಿಸಿ","inbox.automations.startingNow":"ಈಗಲೇ ಆರಂಭವಾಗುತ್ತಿದೆ","inbox.automations.startsIn":"{startTime} ಗೆ ಆರಂಭವಾಗುತ್ತದೆ","inbox.automations.status.active":"ಸಕ್ರಿಯ","inbox.automations.status.paused":"ವಿರಾಮಗೊಳಿಸಲಾಗಿದೆ","inbox.automations.status.runs":"{count} ನಡೆತಗಳು","inbox.automations.status.started":"ಶುರುವಾದದ್ದು {date}","inbox.automations.updateError":"ತನ್ನಡೆತ ಅಪ್‌ಡೇಟ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ","inbox.automations.workspaceFallback":"-","inbox.filter.all":"ಎಲ್ಲ","inbox.filter.ariaLabel":"ಇನ್‌ಬಾಕ್ಸ್‌ ಐಟಮ್‌ಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ","inbox.filter.unread":"ಓದದ","inbox.list.archived":"ಆರ್ಕೈವ್","inbox.list.inProgress":"ಪ್ರಗತಿಯಲ್ಲಿದೆ","inbox.list.recent":"ಮುಗಿದದ್ದು","inbox.list.upNext":"ನಿಗದಿಪಡಿಸಲಾಗಿದೆ","inbox.mode.automations":"ತನ್ನಡೆತಗಳು","inbox.mode.automations.beta":"ಬೀಟಾ","inbox.noDescription":"ಯಾವುದೇ ವಿವರಣೆಯನ್ನು ಒದಗಿಸಲಾಗಿಲ್ಲ.","inbox.openThread":"ಥ್ರೆಡ್‌ ತೆರೆಯಿರಿ","inbox.rightPanel.emptySubtitle":"ಹೊತ್ತುಹೂಡಲಾದ ಟಾಸ್ಕ್‌ಗಳನ್ನು ನೆಲೆಗೊಳಿಸುವ ಮೂಲಕ ಕೆಲಸವನ್ನು ತನ್ನಡೆಯಿಸಿ","inbox.rightPanel.emptySubtitle.learnMore":"ಹೊತ್ತುಹೂಡಲಾದ ಥ್ರೆಡ್‌ಗಳನ್ನು ನೆಲೆಗೊಳಿಸುವ ಮೂಲಕ ಕೆಲಸವನ್ನು ತನ್ನಡೆಯಿಸಿ<link>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# ಸಕ್ರಿಯ ತನ್ನಡೆತ} other {# ಸಕ್ರಿಯ ತನ್ನಡೆತಗಳು}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"ಓದದೆ ಉಳಿದ ತನ್ನಡೆತಗಳಿಲ್ಲ","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ಓದದ ತನ್ನಡೆತ} other {# ಓದದ ತನ್ನಡೆತಗಳು}}","inbox.rightPanel.emptyTitle":"ಯಾವುದೇ ಐಟಮ್‌ ಆರಿಸಿಲ್ಲ","inbox.rightPanel.noThread":"ಈ ಐಟಂಗೆ ಥ್ರೆಡ್‌ ಇಲ್ಲ","inbox.rightPanel.quickStart.header":"ಟೆಂಪ್ಲೇಟ್‌ನೊಂದಿಗೆ ಶುರುಮಾಡಿ","inbox.untitled":"ಹೆಸರಿಲ್ಲದ ಇನ್‌ಬಾಕ್ಸ್‌ ಐಟಮ್‌","loadingPage.documentationLink":"ಡಾಕ್ಯುಮೆಂಟೇಶನ್","loadingPage.errorDescription":"ಈ ಕೆಳಗಿನ ತಪ್ಪಿನೊಂದಿಗೆ ಕೋಡೆಕ್ಸ್‌ ಕುಸಿದಿದೆ:","loadingPage.errorDescription.documentation":"ಕೋಡೆಕ್ಸ್ ಎಕ್ಸ್‌ಟೆನ್ಶನ್‌ ರೀಸ್ಟಾರ್ಟ್ ಮಾಡಲು ರೀಲೋಡ್‌ ಕ್ಲಿಕ್‌ ಮಾಡಿ, ಇಲ್ಲವೇ ಹೆಚ್ಚುವರಿ ನೆರವಿಗಾಗಿ ನಮ್ಮ {documentationLink} ಗೆ ಹೋಗಿ.","loadingPage.errorSignal":"ಇವುಗಳನ್ನು ಮಾಡಿ ನೋಡಬಹುದು:","loadingPage.errorTitle":"ಏನೊ ತಪ್ಪಾಗಿದೆ","loadingPage.openConfigToml":"config.toml ತೆರೆಯಿರಿ","loadingPage.reload":"ಮತ್ತೆ ಲೋಡ್ ಮಾಡಿ","localConversation.contextCompacted":"ನೆಲೆ ತನ್ನಡೆತದಿಂದ ಅಡಕವಾಗಿದೆ","localConversation.contextCompacting":"ನೆಲೆ ತನ್ನಡೆತದಿಂದ ಅಡಕವಾಗುತ್ತಿದೆ","localConversation.finalAssistantMessageDivider":"ಕೊನೆಯ ಸಂದೇಶ","localConversation.forkedFromConversation":"{threadTitle} ರಿಂದ ವಿಭಜಿಸಲಾಗಿದೆ.","localConversation.merge.autoResolve.failed":"ತನ್ನಡೆತದ ಬಗೆಹರಿಕೆಯ ಕೋರಿಕೆ ಕಳುಹಿಸಲು ಆಗಲಿಲ್ಲ: {error}","localConversation.merge.autoResolve.sent":"ತನ್ನಡೆತದ ಬಗೆಹರಿಕೆಯ ಕೋರಿಕೆ ಕಳುಹಿಸಲಾಗಿದೆ","localConversation.merge.autoResolveMerge.missingConversation":"ನಡೆಯುತ್ತಿರುವ ಮಾತುಕತೆ ಇಲ್ಲದೆ ತನ್ನಡೆತದಿಂದ ಬಗೆಹರಿಸಲು ಆಗುವುದಿಲ್ಲ.","localConversation.merge.autoResolveMerge.request":"ಒಂದುಗೂಡಿಕೆ ತಿಕ್ಕಾಟಗಳನ್ನು ತನ್ನಡೆತದಿಂದ ಬಗೆಹರಿಸಿ","localConversation.modelChanged":"ಮಾಡೆಲ್ಅನ್ನು {fromModel} ರಿಂದ {toModel} ಕ್ಕೆ ಬದಲಾಯಿಸಲಾಗಿದೆ.","localConversation.modelChanged.warning.line1":"ಸಂಭಾಷಣೆಯ ಮಧ್ಯದಲ್ಲಿ ಮಾಡೆಲ್‌ಗಳನ್ನು ಬದಲಾಯಿಸುವುದರಿಂದ ಕಾರ್ಯಕ್ಷಮತೆ ಕುಸಿಯುತ್ತದೆ.","localConversation.modelChanged.warning.line2":"ನೆಲೆ ತನ್ನಡೆತದಿಂದ ಅಡಕವಾಗಬಹುದು","localConversation.modelRerouted":"ನಿಮ್ಮ ಕೋರಿಕೆಯನ್ನು {toModel} ಗೆ ಕಳುಹಿಸಲಾಗಿದೆ.","localConversation.modelRerouted.warning.line1":"ಗಮನಿಸಿ, ಸೈಬರ್‌ ತಪ್ಪುಬಳಕೆ ಕೇಡನ್ನು ಕಡಿಮೆಮಾಡಲು ನಿಮ್ಮ ಕೋರಿಕೆಯನ್ನು ಬೇರೆಡೆ ಕಳುಹಿಸಲಾಗಿದೆ.","localConversation.modelRerouted.warning.line2":"ಇದರಲ್ಲಿ ತಪ್ಪಾಗಿದೆ ಅನಿಸುತ್ತಿದೆಯೇ? ಇಲ್ಲಿ ಪರಿಶೀಲನೆಗಾಗಿ ಕೋರಿಕೊಳ್ಳಿ<link>chatgpt.com/cyber</link>ಇಲ್ಲವೇ /feedback ಮೂಲಕ ತಿಳಿಸಿ","localConversation.moveThread.createBranch.label":"ಕವಲು ಹುಟ್ಟುಹಾಕಿ","localConversation.moveToLocal.disabled.branchCheckedOut":"ಈ ಕವಲು ಈಗಾಗಲೇ ಬೇರೊಂದು ವರ್ಕ್‌ಟ್ರೀನಲ್ಲಿ ಚೆಕ್‌ಔಟ್‌ ಆಗಿದೆ","localConversation.moveToLocal.disabled.loading":"ಲೋಡ್ ಆಗುತ್ತಿದೆ...","localConversation.moveToLocal.disabled.missingSourceHead":"ವರ್ಕ್‌ಟ್ರೀ HEAD ಕಮಿಟ್‌ ಬಗೆಹರಿಸಲು ಆಗುತ್ತಿಲ್ಲ","localConversation.moveToLocal.disabled.noWorkspace":"ಈ ವರ್ಕ್‌ಟ್ರೀಗೆ ಯಾವುದೇ ಸ್ಥಳೀಯ ಕಾರ್ಯಕ್ಷೇತ್ರ ದೊರೆಯಲಿಲ್ಲ","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"ಈಗ ಕದಲಿಸಲು ಆಗುತ್ತಿಲ್ಲ. ಸ್ಥಳೀಯ ಕಾರ್ಯಕ್ಷೇತ್ರ ಸ್ಥಿತಿ ಪರಿಶೀಲಿಸಿ ಮತ್ತೊಮ್ಮೆ ಪ್ರಯತ್ನಿಸಿ.","localConversation.moveToLocal.error.rollbackIssues":"ಹಿಮ್ಮರಳಿಕೆ ತೊಡಕುಗಳು: {issues}","localConversation.moveToLocal.label":"ಸ್ಥಳೀಯಕ್ಕೆ ಕದಲಿಸಿ","localConversation.moveToLocal.loading.subtitle":"ನಿಮ್ಮ ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳನ್ನು ಸ್ಥಳೀಯಕ್ಕೆ ಕದಲಿಸಲಾಗುತ್ತಿದೆ...","localConversation.moveToLocal.loading.title":"ಸ್ಥಳೀಯಕ್ಕೆ ಕದಲಿಸಲಾಗುತ್ತಿದೆ","localConversation.moveToLocal.modal.continue":"ಮುಂದುವರಿಸಿ","localConversation.moveToLocal.modal.destinationLabel":"ಇಲ್ಲಿಗೆ ಕದಲಿಸಿ","localConversation.moveToLocal.modal.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.moveToLocal.modal.subtitle":"ಈ ವರ್ಕ್‌ಟ್ರೀ ಕವಲು ಮತ್ತು ಕಮಿಟ್‌ ಆಗದ ಮಾರ್ಪಾಡುಗಳನ್ನು ನಿಮ್ಮ ಸ್ಥಳೀಯ ಚೆಕ್‌ಔಟ್‌ಗೆ ಕದಲಿಸಲಾಗುವುದು.","localConversation.moveToLocal.modal.title":"ಸ್ಥಳೀಯಕ್ಕೆ ಕದಲಿಸಿ","localConversation.moveToWorktree.error.branchRequired":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು ಹೆಸರು ಬೇಕಾಗಿದೆ","localConversation.moveToWorktree.error.createWorktree":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಲು ಆಗಲಿಲ್ಲ: {message}","localConversation.moveToWorktree.error.move":"ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಲು ಆಗಲಿಲ್ಲ: {message}","localConversation.moveToWorktree.error.prepareBranch":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು “{branch}” ಅನ್ನು ಅಣಿಗೊಳಿಸಲು ಆಗಲಿಲ್ಲ: {message}","localConversation.moveToWorktree.error.rollbackIssues":"ಹಿಮ್ಮರಳಿಕೆ ತೊಡಕುಗಳು: {issues}","localConversation.moveToWorktree.error.unknown":"ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಲು ಆಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.moveToWorktree.label":"ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಿ","localConversation.moveToWorktree.loading.subtitle":"ನಿಮ್ಮ ವರ್ಕ್‌ಟ್ರೀ ನೆಲೆಗೊಳಿಸಲಾಗುತ್ತಿದೆ ಹಾಗೂ ಸ್ಥಳೀಯ ಮಾರ್ಪಾಡುಗಳನ್ನು ಕದಲಿಸಲಾಗುತ್ತಿದೆ...","localConversation.moveToWorktree.loading.title":"ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಲಾಗುತ್ತಿದೆ","localConversation.moveToWorktree.modal.back":"ಹಿಂದಕ್ಕೆ","localConversation.moveToWorktree.modal.branchAlreadyExists":"ಕವಲು ಈಗಾಗಲೇ ಇದೆ.","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ಕವಲು ಈಗಾಗಲೇ ಇದೆ.","localConversation.moveToWorktree.modal.branchesError":"ಕವಲುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ","localConversation.moveToWorktree.modal.branchesLoading":"ಕವಲುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","localConversation.moveToWorktree.modal.branchesRetry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.moveToWorktree.modal.continue":"ಮುಂದುವರಿಸಿ","localConversation.moveToWorktree.modal.defaultBranchError":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು, ಮೊದಲಾಯ್ಕೆಯ ಕವಲಿಗಿಂತ ಬೇರೆಯಾಗಿರಬೇಕು.","localConversation.moveToWorktree.modal.localBranchLabel":"ಸ್ಥಳೀಯ ಕವಲು","localConversation.moveToWorktree.modal.localBranchPlaceholder":"ಸ್ಥಳೀಯ ಚೆಕ್ಔಟ್ ಕವಲು ಆರಿಸಿ","localConversation.moveToWorktree.modal.noTargetBranch":"ಬೇರೆ ಸ್ಥಳೀಯ ಕವಲುಗಳು ದೊರೆಯುತ್ತಿಲ್ಲ","localConversation.moveToWorktree.modal.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.moveToWorktree.modal.subtitle":"ಈ ಕವಲು ಮತ್ತು ಎಲ್ಲಾ ಕಮಿಟ್‌ ಆಗದ ಮಾರ್ಪಾಡುಗಳನ್ನು ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಲಾಗುವುದು. ಬೇರೆ ಕವಲನ್ನು ಸ್ಥಳೀಯವಾಗಿ ಅದರ ಜಾಗದಲ್ಲೇ ನೀವು ಚೆಕ್‌ಔಟ್‌ ಮಾಡಬೇಕು.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"ಈ ಥ್ರೆಡ್‌ಗೆ Codex ಹೊಸ ವರ್ಕ್‌ಟ್ರೀ ಅನ್ನು ಹುಟ್ಟುಹಾಕುತ್ತದೆ.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು ಹೆಸರು ಆಯ್ಕೆಮಾಡಿ. ಮೊದಲಾಯ್ಕೆಯ ಕವಲಿಗೆ ಮಾರ್ಪಾಗಿ Codex ಇದನ್ನು ಬಳಸುತ್ತದೆ.","localConversation.moveToWorktree.modal.subtitle.loading":"ಈಗಾಗಲೇ ಇರುವ ವರ್ಕ್‌ಟ್ರೀಗಾಗಿ ಹುಡುಕಲಾಗುತ್ತಿದೆ...","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"ಈ ಕವಲನ್ನು ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಲಾಗುವುದು. ನಿಮ್ಮ ಈಗಿನ ಸ್ಥಳೀಯ ಕವಲು ಚೆಕ್‌ಔಟ್‌ ಆಗಿಯೇ ಉಳಿಯುತ್ತದೆ.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"ಈ ಥ್ರೆಡ್‌ಗೆ Codex ಈಗ ಇರುವ ವರ್ಕ್‌ಟ್ರೀ ಅನ್ನು ಮತ್ತೆ ಬಳಸುತ್ತದೆ.","localConversation.moveToWorktree.modal.title":"ವರ್ಕ್‌ಟ್ರೀಗೆ ಕದಲಿಸಿ","localConversation.moveToWorktree.modal.trailingSlashError":"ಕವಲಿನ ಹೆಸರು “/” ನೊಂದಿಗೆ ಕೊನೆಯಾಗುವಂತಿಲ್ಲ.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು ಹೆಸರು","localConversation.moveToWorktree.modal.worktreeBranchLabel":"ವರ್ಕ್‌ಟ್ರೀ ಕವಲು","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ಹೊಸ ಕವಲು","localConversation.personalityChanged":"{personality} ವ್ಯಕ್ತಿತ್ವಕ್ಕೆ ಮಾರ್ಪಡಿಸಲಾಗಿದೆ","localConversation.planSummary.collapse":"ಯೋಜನೆಯ ಸಾರಾಂಶವನ್ನು ಕುಗ್ಗಿಸಿ","localConversation.planSummary.collapseTooltip":"ಕುಸಿತ","localConversation.planSummary.download":"ಪ್ಲಾನ್‌ ಡೌನ್‌ಲೋಡ್‌ ಮಾಡಿ","localConversation.planSummary.expand":"ಯೋಜನೆಯ ಸಾರಾಂಶವನ್ನು ವಿಸ್ತರಿಸಿ","localConversation.planSummary.expandTooltip":"ಹಿಗ್ಗಿಸಿ","localConversation.planSummary.openInNewWindow":"ತೆರೆಯಿರಿ","localConversation.planSummary.openInNewWindow.tooltip":"ಹೊಸ ವಿಂಡೋದಲ್ಲಿ ತೆರೆಯಿರಿ","localConversation.planSummary.title":"ಯೋಜನೆ","localConversation.planSummary.titleWriting":"ಬರೆಯುವ ಪ್ಲಾನ್","localConversation.planSummary.viewPlan":"ಪ್ಲಾನ್ ಹಿಗ್ಗಿಸಿ","localConversation.previousMessagesSummary":"{count, plural, one {# ಹಿಂದಿನ ಸಂದೇಶ} other {# ಹಿಂದಿನ ಸಂದೇಶಗಳು}}","localConversation.remoteTaskCreated":"ಕೋಡೆಕ್ಸ್‌ ಕ್ಲೌಡ್‌ನಲ್ಲಿ {taskLink} ಅನ್ನು ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಗಿದೆ","localConversation.remoteTaskCreated.task":"ಟಾಸ್ಕ್","localConversation.scrollToBottomButton":"ಕೆಳಗೆ ಸ್ಕ್ರಾಲ್ ಮಾಡಿ","localConversation.sync.buttonLabel":"ಸ್ಥಳೀಯರಿಗೆ ಹಸ್ತಾಂತರಿಸಿ","localConversation.sync.buttonLabel.tooltip":"ಈ ವರ್ಕ್‌ಟ್ರೀ ಮತ್ತು ನಿಮ್ಮ ಸ್ಥಳೀಯ ಚೆಕ್‌ಔಟ್‌ ನಡುವಿನ ಮಾರ್ಪಾಡುಗಳನ್ನು ಕೊಡಿ.","localConversation.sync.modal.loading.title":"ಬದಲಾವಣೆಗಳನ್ನು ಹಸ್ತಾಂತರಿಸಲಾಗುತ್ತಿದೆ...","localConversation.sync.modal.noChanges":"ಯಾವುದೇ ಚೇಂಜಸ್ ಇಲ್ಲ","localConversation.syncSetup.branchAriaLabel":"ಬ್ರಾಂಚ್ ಹೆಸರು","localConversation.syncSetup.branchName":"ಬ್ರಾಂಚ್ ಹೆಸರು","localConversation.syncSetup.branchPlaceholder.existing":"ಈಗ ಇರುವ ಕವಲನ್ನು ಆರಿಸಿ","localConversation.syncSetup.branchPlaceholder.new":"ಕೋಡೆಕ್ಸ್‌/ಹೊಸ-ಫೀಚರ್‌","localConversation.syncSetup.branchesLoading":"ಕವಲುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ಈಗಾಗಲೇ ಚೆಕ್‌ ಔಟ್‌ ಆಗಿದೆ","localConversation.syncSetup.checkoutClean":"ಈಗ {branchName} ನಲ್ಲಿದ್ದೇವೆ","localConversation.syncSetup.checkoutDirty":"ಕಮಿಟ್‌ ಆಗದ ಮಾರ್ಪಾಡುಗಳೊಂದಿಗೆ ಈಗ {branchName} ನಲ್ಲಿದೆ","localConversation.syncSetup.checkoutError":"ಶಾಖೆಯನ್ನು ಪರಿಶೀಲಿಸಲು ವಿಫಲವಾಗಿದೆ: {message}","localConversation.syncSetup.checkoutLabel":"ಈಗಲೇ ಸ್ಥಳೀಯವಾಗಿ ಚೆಕ್‌ಔಟ್‌ ಮಾಡಿ","localConversation.syncSetup.checkoutOnLocal":"ಸ್ಥಳೀಯರಿಗೆ ಹಸ್ತಾಂತರಿಸಿ","localConversation.syncSetup.checkoutPending":"ಸ್ಥಳೀಯ ಸ್ಥಿತಿ ನೋಡಲಾಗುತ್ತಿದೆ...","localConversation.syncSetup.checkoutUnavailable":"ಸ್ಥಳೀಯ ಕಾರ್ಯಕ್ಷೇತ್ರ ದೊರೆಯುತ್ತಿಲ್ಲ","localConversation.syncSetup.checkoutUnknown":"ಸ್ಥಳೀಯ ಕವಲು ದೊರೆಯುತ್ತಿಲ್ಲ","localConversation.syncSetup.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","localConversation.syncSetup.createBranchError":"ಹ್ಯಾಂಡಾಫ್ ಶಾಖೆಯನ್ನು ಹೊಂದಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ: {message}","localConversation.syncSetup.error":"ಏನೋ ತಪ್ಪಾಗಿದೆ: {message}","localConversation.syncSetup.error.workingTreeMissing":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಸ್ನ್ಯಾಪ್‌ಶಾಟ್ ಮಾಡಲು ಸಾಧ್ಯವಾಗುತ್ತಿಲ್ಲ. ದಯವಿಟ್ಟು ಹಸ್ತಾಂತರಿಸಲು ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.syncSetup.mode.ariaLabel":"ಕವಲು ಮೋಡ್‌ ಆರಿಸಿ","localConversation.syncSetup.mode.existing":"ಈಗ ಇರುವ ಕವಲು","localConversation.syncSetup.mode.new":"ಹೊಸ ಕವಲು","localConversation.syncSetup.noBranches":"ಕವಲುಗಳು ಕಂಡುಬಂದಿಲ್ಲ","localConversation.syncSetup.overwriteError":"ಶಾಖೆಯನ್ನು ರಚಿಸಲಾಗಿದೆ ಆದರೆ ಸಂಪೂರ್ಣವಾಗಿ ಹಸ್ತಾಂತರಿಸಲಾಗಿಲ್ಲ. ಸ್ಥಳೀಯವಾಗಿ ಪರಿಶೀಲಿಸುವ ಮೊದಲು ಹಸ್ತಾಂತರಿಸಿ.","localConversation.syncSetup.setPrefix":"ಮುನ್ನೊಟ್ಟು ಹೊಂದಿಸಿ","localConversation.syncSetup.subtitle":"ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳನ್ನು ಸ್ಥಳೀಯವಾಗಿ ಒರೆಹಚ್ಚಿ ಮತ್ತು ತಿದ್ದಿ. <a>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</a>","localConversation.syncSetup.success.checkedOut":"ಕವಲನ್ನು ಹುಟ್ಟುಹಾಕಲಾಗಿದೆ ಮತ್ತು ಅದನ್ನು ಸ್ಥಳೀಯವಾಗಿ ಚೆಕ್‌ಔಟ್‌ ಮಾಡಲಾಗಿದೆ","localConversation.syncSetup.success.notCheckedOut":"ಶಾಖೆ ರಚಿಸಲಾಗಿದೆ","localConversation.syncSetup.title":"ಸ್ಥಳೀಯ ಶಾಖೆಗೆ ಹಸ್ತಾಂತರಿಸಿ","localConversation.syncWorktreeError.branchAriaLabel":"ಬ್ರಾಂಚ್ ಹೆಸರು","localConversation.syncWorktreeError.branchPlaceholder.new":"ಕೋಡೆಕ್ಸ್‌/ಹೊಸ-ಫೀಚರ್‌","localConversation.syncWorktreeError.branchSetup.subtitle":"ಹಸ್ತಾಂತರಿಸಲು ಶಾಖೆಯನ್ನು ಆರಿಸಿ, ನಂತರ ಬದಲಾವಣೆಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeError.branchSetup.title":"ಬ್ರಾಂಚ್ ಅಪ್ಡೇಟ್ ಮಾಡಿ","localConversation.syncWorktreeError.branchUpdate.cta":"ನವೀಕರಿಸಿ ಮತ್ತು ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.syncWorktreeError.branchUpdate.error":"ಬ್ರಾಂಚ್ ನವೀಕರಿಸಲು ವಿಫಲವಾಗಿದೆ: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"ಏನೋ ತಪ್ಪಾಗಿದೆ: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ಬ್ರಾಂಚ್ ಯಾವುದೇ ವರ್ಕ್‌ಟ್ರಿಯಲ್ಲಿ ಚೆಕ್‌ಔಟ್ ಆಗಿಲ್ಲ.","localConversation.syncWorktreeV2.applyUncommitted":"ಅಪ್ಲೈ ಮಾಡಿ","localConversation.syncWorktreeV2.applyUncommitted.disabled":"ಕಮಿಟ್‌ ಆಗದ ಮಾರ್ಪಾಡುಗಳನ್ನು ಹಚ್ಚಲು ನೀವು ಕವಲನ್ನು ಸ್ಥಳೀಯವಾಗಿ ಚೆಕ್‌ಔಟ್‌ ಮಾಡಬೇಕು","localConversation.syncWorktreeV2.branches.empty":"ಕವಲುಗಳು ಕಂಡುಬಂದಿಲ್ಲ","localConversation.syncWorktreeV2.branches.loading":"ಕವಲುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"ಹಸ್ತಾಂತರ ಬ್ರಾಂಚ್ ಬದಲಾಯಿಸಿ","localConversation.syncWorktreeV2.changeBranch.error":"ಹಸ್ತಾಂತರ ಬ್ರಾಂಚ್ ಬದಲಾಯಿಸಲು ವಿಫಲವಾಗಿದೆ: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"ಹಚ್ಚಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"ವರ್ಕ್‌ಟ್ರೀ ತಿದ್ದಿಬರೆಯಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ಸ್ಥಳೀಯ ತಿದ್ದಿಬರೆಯಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.commandError.back":"ಹಿಂದಕ್ಕೆ","localConversation.syncWorktreeV2.commandError.body":"ಹಸ್ತಾಂತರಿಸುವಾಗ ಒಂದು ಗಿಟ್ ಆಜ್ಞೆ ವಿಫಲವಾಗಿದೆ. ಔಟ್‌ಪುಟ್ ಪರಿಶೀಲಿಸಿ ಮತ್ತು ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeV2.commandError.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.syncWorktreeV2.description":"ಸ್ಥಳೀಯ ಮತ್ತು ಈ ವರ್ಕ್‌ಟ್ರಿಯ ನಡುವಿನ ಬದಲಾವಣೆಗಳನ್ನು ಹಸ್ತಾಂತರಿಸಿ <a>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"ಹಸ್ತಾಂತರ ದಿಕ್ಕನ್ನು ಆಯ್ಕೆಮಾಡಿ","localConversation.syncWorktreeV2.error.generic":"ಹಸ್ತಾಂತರ ಮಾಡುವಾಗ ಏನೋ ತಪ್ಪಾಗಿದೆ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeV2.localBranchLabel":"ಸ್ಥಳೀಯ","localConversation.syncWorktreeV2.noChanges":"ಬದಲಾವಣೆಗಳನ್ನು ಲೆಕ್ಕಹಾಕಲಾಗುತ್ತಿದೆ","localConversation.syncWorktreeV2.noChanges.summary":"ಯಾವುದೇ ಚೇಂಜಸ್ ಇಲ್ಲ","localConversation.syncWorktreeV2.overwrite.local":"ಸ್ಥಳೀಯ ತಿದ್ದಿಬರೆಯಿರಿ","localConversation.syncWorktreeV2.overwrite.worktree":"ವರ್ಕ್‌ಟ್ರೀ ತಿದ್ದಿಬರೆಯಿರಿ","localConversation.syncWorktreeV2.partial.action.applyFailed":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಬಳಸಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ಸ್ಥಳೀಯ ಮಾರ್ಪಾಡುಗಳನ್ನು ತಿದ್ದಿಬರೆಯಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳನ್ನು ತಿದ್ದಿಬರೆಯಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.partial.appliedLabel":"ಬಳಸಲಾಗಿದೆ","localConversation.syncWorktreeV2.partial.back":"ಹಿಂದಕ್ಕೆ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"ತಿಕ್ಕಾಟಗಳನ್ನು ಬಗೆಹರಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeV2.partial.conflictsLabel":"ತಿಕ್ಕಾಟಗಳು","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}}","localConversation.syncWorktreeV2.partial.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.syncWorktreeV2.partial.skippedLabel":"ಬಿಟ್ಟುಬಿಡಲಾಯಿತು","localConversation.syncWorktreeV2.stateFailed.generic":"ಹಸ್ತಾಂತರ ಮಾಡಲು ವರ್ಕ್‌ಟ್ರಿಯ ಬದಲಾವಣೆಗಳನ್ನು ಪಡೆಯುವಾಗ ಏನೋ ತಪ್ಪಾಯಿತು. ದಯವಿಟ್ಟು ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeV2.stateFailed.title":"ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ","localConversation.syncWorktreeV2.statusError.diffUnknown":"ವರ್ಕ್‌ಟ್ರೀ ಮಾರ್ಪಾಡುಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","localConversation.syncWorktreeV2.statusError.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","localConversation.syncWorktreeV2.statusError.title":"ಸ್ಥಳೀಯ ಬ್ರಾಂಚ್ ಬದಲಾವಣೆಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಸಾಧ್ಯವಾಗುತ್ತಿಲ್ಲ","localConversation.syncWorktreeV2.statusError.unknown":"ಬ್ರಾಂಚ್ ಸ್ಥಿತಿ ಈ ಸಮಯದಲ್ಲಿ ಲಭ್ಯವಿಲ್ಲ. ಮರುಪ್ರಯತ್ನಿಸಿ.","localConversation.syncWorktreeV2.success.apply":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಯಶಸ್ವಿಯಾಗಿ ಹಚ್ಚಲಾಗಿದೆ","localConversation.syncWorktreeV2.success.overwrite":"ಹಸ್ತಾಂತರ ಯಶಸ್ವಿಯಾಗಿದೆ","localConversation.syncWorktreeV2.title":"ಬದಲಾವಣೆಗಳನ್ನು ಹಸ್ತಾಂತರಿಸಿ","localConversation.syncWorktreeV2.worktreeLabel":"ವರ್ಕ್‌ಟ್ರೀ","localConversation.userInputRequest.inProgress":"{count, plural, one {ಪ್ರಶ್ನೆ} other {ಪ್ರಶ್ನೆಗಳು}} ಕೇಳಲಾಗುತ್ತಿದೆ","localConversation.userInputRequest.noAnswer":"ಯಾವುದೇ ಉತ್ತರ ಒದಗಿಸಲಾಗಿಲ್ಲ","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"ಕೇಳಲಾಗಿದೆ","localConversation.userInputRequest.summary.count":"{count, plural, one {# ಪ್ರಶ್ನೆ} other {# ಪ್ರಶ್ನೆಗಳು}}","localConversation.workedFor":"{time} ಕ್ಕೆ ಕೆಲಸ ಮಾಡಿದೆ","localConversation.worktreeBranchSetup.action.create":"ಕ್ರಿಯೇಟ್ ಮಾಡಿ","localConversation.worktreeBranchSetup.branchAriaLabel":"ಬ್ರಾಂಚ್ ಹೆಸರು","localConversation.worktreeBranchSetup.branchPlaceholder.new":"ಹೊಸ ಬ್ರಾಂಚ್‌ ಹುಟ್ಟುಹಾಕಿ","localConversation.worktreeBranchSetup.checkoutDisabled":"ಈ ಕವಲು {location} ನಲ್ಲಿ ಈಗಾಗಲೇ ಚೆಕ್‌ಔಟ್‌ ಆಗಿದೆ","localConversation.worktreeBranchSetup.checkoutError":"ಶಾಖೆಯನ್ನು ಪರಿಶೀಲಿಸಲು ವಿಫಲವಾಗಿದೆ: {message}","localConversation.worktreeBranchSetup.createBranchError":"ಬ್ರಾಂಚ್ ಅನ್ನು ಹೊಂದಿಸಲು ವಿಫಲವಾಗಿದೆ: {message}","localConversation.worktreeBranchSetup.error":"ಏನೋ ತಪ್ಪಾಗಿದೆ: {message}","localConversation.worktreeBranchSetup.subtitle":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಲು ಕವಲು ಹುಟ್ಟುಹಾಕಿ, ಪುಶ್ ಮಾಡಿ ಮತ್ತು ಈ ವರ್ಕ್‌ಟ್ರೀನಿಂದ PR ಹುಟ್ಟುಹಾಕಿ. <a>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</a>","localConversation.worktreeBranchSetup.title":"ಇಲ್ಲಿ ಕೆಲಸ ಮಾಡಿ","localConversationPage.addWorktreeToSidebar.tooltip":"ಈ ವರ್ಕ್‌ಟ್ರೀನಿಂದ ಹೊಸ ಥ್ರೆಡ್‌ಗಳನ್ನು ನೀವು ಆರಂಭಿಸುವಂತಾಗಲು ಪ್ರಾಜೆಕ್ಟ್‌ ಆಗಿ ಉಳಿಸಿ","localConversationPage.addWorktreeToSidebarError":"ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಲು ಆಗಲಿಲ್ಲ","localConversationPage.commitAndCreatePrModal.errorTitle":"ಕಮಿಟ್‌ ಮತ್ತು PR ಹುಟ್ಟುಹಾಕುವುದು ಆಗಲಿಲ್ಲ","localConversationPage.commitAndCreatePrModal.successTitle":"ಕಮಿಟ್‌ ಮಾಡಲಾಗಿದೆ ಮತ್ತು PR ಹುಟ್ಟುಹಾಕಲಾಗಿದೆ","localConversationPage.commitAndPushModal.errorTitle":"ಕಮಿಟ್‌ ಮತ್ತು ಪುಶ್ ಆಗಲಿಲ್ಲ","localConversationPage.commitAndPushModal.successTitle":"ಕಮಿಟ್‌ ಮಾಡಲಾಗಿದೆ ಮತ್ತು ಮಾರ್ಪಾಡುಗಳನ್ನು ಪುಶ್ ಮಾಡಲಾಗಿದೆ","localConversationPage.commitCreatePr.open":"ಪುಲ್ ವಿನಂತಿಯನ್ನು ತೆರೆಯಿರಿ","localConversationPage.commitCreatePr.successTitle":"ನಿಮ್ಮ ಇತ್ತೀಚಿನ ಮಾರ್ಪಾಡುಗಳೊಂದಿಗೆ PR ಹುಟ್ಟುಹಾಕಲಾಗಿದೆ","localConversationPage.createBranchButtonLabel":"ಇಲ್ಲಿ ಕವಲೊಡೆಸಿ","localConversationPage.createPrModal.baseBranch":"ಬುಡ","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR ಅನ್ನು ಕ್ರಿಯೇಟ್ ಮಾಡಿ","localConversationPage.createPrModal.createDescription":"ನಿಮ್ಮ ಇತ್ತೀಚಿನ ಮಾರ್ಪಾಡುಗಳಿಗೆ ಪುಲ್‌ ಕೋರಿಕೆ ತೆರೆಯಿರಿ.","localConversationPage.createPrModal.errorTitle":"ಪುಲ್‌ ಕೋರಿಕೆ ಸೋತಿದೆ","localConversationPage.createPrModal.headBranch":"ತಲೆ","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR ತೆರೆಯಿರಿ","localConversationPage.createPrModal.successTitle":"ಪುಲ್ ಕೋರಿಕೆ ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಯಿತು","localConversationPage.createPrModal.title":"ಪುಲ್ ಕೋರಿಕೆ ಹುಟ್ಟುಹಾಕಿ","localConversationPage.createPrModal.viewDescription":"ಈ ಕವಲಿಗೆ ಪುಲ್‌ ಕೋರಿಕೆ ಆಗಲೇ ಇದೆ.","localConversationPage.createPrModal.viewTitle":"ಪುಲ್‌ ಕೋರಿಕೆ ಅಣಿಯಾಗಿದೆ","localConversationPage.createPullRequestAuthGh":"GitHub CLI ದೃಢೀಕರಿಸಿ: `gh auth login`ಮಾಡಿ","localConversationPage.createPullRequestBranchMissing":"ಬ್ರಾಂಚ್ ಮಾಹಿತಿ ದೊರೆಯುತ್ತಿಲ್ಲ","localConversationPage.createPullRequestButtonLabel":"PR ಅನ್ನು ಕ್ರಿಯೇಟ್ ಮಾಡಿ","localConversationPage.createPullRequestButtonLabel.loading":"PR ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ...","localConversationPage.createPullRequestDefaultBranchMissing":"ಡಿಫಾಲ್ಟ್ ಬ್ರಾಂಚ್ ಮಾಹಿತಿ ದೊರೆಯುತ್ತಿಲ್ಲ","localConversationPage.createPullRequestError":"ಪುಲ್ ಕೋರಿಕೆ ಕ್ರಿಯೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","localConversationPage.createPullRequestExistingPullRequest":"ಈ ಕವಲಿಗೆ ಪುಲ್‌ ಕೋರಿಕೆ ಆಗಲೇ ಇದೆ","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI ಸ್ಥಿತಿ ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","localConversationPage.createPullRequestInstallGh":"PR ಗಳನ್ನು ಕ್ರಿಯೇಟ್ ಮಾಡಲು GitHub CLI (gh) ಇನ್ಸ್ಟಾಲ್ ಮಾಡಿ","localConversationPage.createPullRequestNoRepo":"git ರಿಪಾಸಿಟರಿ ಕಂಡುಬಂದಿಲ್ಲ","localConversationPage.createPullRequestPushStatusMissing":"ನೂಕುವಿಕೆ‌ ಸ್ಥಿತಿ ಲೋಡ್ ಆಗುತ್ತಿದೆ...","localConversationPage.createPullRequestSetUpstream":"PR ಹುಟ್ಟುಹಾಕುವ ಮುನ್ನ ಈ ಕವಲನ್ನು ನೂಕಿ","localConversationPage.createPullRequestSuccessToast":"ಪುಲ್ ಕೋರಿಕೆ ಕ್ರಿಯೇಟ್ ಮಾಡಲಾಯಿತು","localConversationPage.createPullRequestSwitchBranch":"PR ಹುಟ್ಟುಹಾಕುವ ಮುನ್ನ ಫೀಚರ್‌ ಕವಲು ಆಯ್ಕೆಗುರುತು ತೆಗೆದುಹಾಕಿ","localConversationPage.error.render":"ಸ್ಥಳೀಯ ಕಾನ್ವರ್ಸೆಷನ್ ಅನ್ನು ರೆಂಡರ್‌ ಮಾಡುವಾಗ ತಪ್ಪಾಗಿದೆ","localConversationPage.error.toast":"ಕಾನ್ವರ್ಸೆಷನ್ ಕಂಡುಬಂದಿಲ್ಲ","localConversationPage.forcePushError":"ಒತ್ತಾಯದ ನೂಕುವಿಕೆ ಆಗಲಿಲ್ಲ","localConversationPage.generatePullRequestMessageError":"ಪುಲ್ ಕೋರಿಕೆಯ ಶೀರ್ಷಿಕೆ ಮತ್ತು ವಿವರವನ್ನು ರಚಿಸಲು ವಿಫಲವಾಗಿದೆ","localConversationPage.generatePullRequestMessageFailed":"ಪುಲ್ ಕೋರಿಕೆಯ ಶೀರ್ಷಿಕೆ ಮತ್ತು ವಿವರವನ್ನು ರಚಿಸಲು ವಿಫಲವಾಗಿದೆ.","localConversationPage.gitActionResult.branch":"ಬ್ರಾಂಚ್","localConversationPage.gitActionResult.cancel":"ರದ್ದುಮಾಡಿ","localConversationPage.gitActionResult.close":"ಕ್ಲೋಸ್ ಮಾಡಿ","localConversationPage.gitActionResult.tryAgain":"ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ","localConversationPage.gitActions":"Git ಆಕ್ಶನ್‌ಗಳು","localConversationPage.newChat":"ಹೊಸ ಚಾಟ್","localConversationPage.openInTarget":"ಇದರಲ್ಲಿ ತೆರೆಯಿರಿ","localConversationPage.openPrimaryTarget":"ತೆರೆಯಿರಿ","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# ಟಾಸ್ಕ್ ಪೂರ್ಣಗೊಂಡಿದೆ} other {# ಟಾಸ್ಕ್ ಗಳು ಪೂರ್ಣಗೊಂಡಿದೆ}} ರಲ್ಲಿ {completedItems}","localConversationPage.pushAuthError":"ನೂಕುವಿಕೆ ಆಗಲಿಲ್ಲ: ಪ್ರಮಾಣೀಕರಣ ಬೇಕಾಗಿದೆ","localConversationPage.pushBranchMissing":"ಬ್ರಾಂಚ್ ಮಾಹಿತಿ ದೊರೆಯುತ್ತಿಲ್ಲ","localConversationPage.pushButtonLabel":"ಪುಶ್","localConversationPage.pushButtonLabel.loading":"ನೂಕಲಾಗುತ್ತಿದೆ...","localConversationPage.pushError":"ಚೇಂಜಸ್ ಅನ್ನು ಪುಶ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","localConversationPage.pushModal.branchLabel":"ಬ್ರಾಂಚ್","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"ರದ್ದುಮಾಡಿ","localConversationPage.pushModal.confirm":"ಪುಶ್","localConversationPage.pushModal.description":"ನಿಮ್ಮ ಇತ್ತೀಚಿನ ಕಮಿಟ್‌ಗಳನ್ನು ದೂರದ ರಿಪಾಸಿಟರಿಗೆ ಪುಶ್ ಮಾಡಿ.","localConversationPage.pushModal.errorTitle":"ಪುಶ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","localConversationPage.pushModal.forcePush":"ಒತ್ತಾಯದ ಪುಶ್","localConversationPage.pushModal.successTitle":"ಪುಶ್ ಮುಗಿದಿದೆ","localConversationPage.pushModal.title":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಪುಶ್ ಮಾಡಿ","localConversationPage.pushModal.tryAgain":"ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ","localConversationPage.pushNoUpstream":"ಈ ಕವಲನ್ನು ನೂಕುವ ಮುನ್ನ ಅಪ್‌ಸ್ಟ್ರೀಮ್‌ ಇರಿಸಿ","localConversationPage.pushNoUpstreamError":"ಪುಶ್ ಆಗಲಿಲ್ಲ: ಅಪ್‌ಸ್ಟ್ರೀಮ್‌ ಅಟ್ಟಣಿಸಿಲ್ಲ","localConversationPage.pushNothingToPush":"ನೂಕಲು ಹೊಸ ಕಮಿಟ್‌ಗಳಿಲ್ಲ","localConversationPage.pushRemoteChangedError":"ಪುಶ್ ಆಗಲಿಲ್ಲ: ರಿಮೋಟ್‌ ಹೊಸ ಕಮಿಟ್‌ಗಳನ್ನು ಹೊಂದಿದೆ","localConversationPage.pushRemoteRejectedError":"ಪುಶ್ ರಿಮೋಟ್‌ನಿಂದ ತಳ್ಳಿಹಾಕಲ್ಪಟ್ಟಿದೆ","localConversationPage.pushStatusMissing":"ಪುಶ್‌ ಸ್ಥಿತಿ ಲೋಡ್ ಆಗುತ್ತಿದೆ...","localConversationPage.pushSuccessToast":"ಮಾರ್ಪಾಡುಗಳನ್ನು ನೂಕಲಾಗಿದೆ","localConversationPage.viewPullRequestButtonLabel":"PRಅನ್ನು ವೀಕ್ಷಿಸಿ","localConversationPage.viewPullRequestButtonLabel.loading":"ಪುಲ್ ವಿನಂತಿಯನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# ಪಟ್ಟಿ} other {# ಪಟ್ಟಿಗಳು}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# ಹುಡುಕಾಟ} other {# ಹುಡುಕಾಟಗಳು}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"ಎಕ್ಸ್ಪ್ಲೋರ್ ಮಾಡಿ ನೋಡಲಾಗುತ್ತಿದೆ","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"ಎಕ್ಸ್ಪ್ಲೋರ್ ಮಾಡಿ ನೋಡಲಾಗಿದೆ","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} ಬೆದಕಿನೋಡಲಾಗಿದೆ","localConversationTurnStory.showContent":"ಕಂಟೆಂಟ್ ಅನ್ನು ತೋರಿಸಿ","localConversationTurnStory.streamContent":"ಕಂಟೆಂಟ್ ಅನ್ನು ಸ್ಟ್ರೀಮ್ ಮಾಡಿ","localConversationTurnStory.toggleReasoning":"ತಾರ್ಕಿಕತೆಯನ್ನು ತೋರಿಸಿ","localTaskRow.archiveError":"ಕಾನ್ವರ್ಸೆಷನ್ ಅನ್ನು ಆರ್ಕೈವ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","localTaskRow.resumeError":"ಟಾಸ್ಕ್ ಮುಂದುವರಿಸಲು ಆಗಲಿಲ್ಲ","mermaidDiagram.ariaLabel":"ಮರ್‌ಮೇಡ್‌ ಚಿತ್ರ","mermaidDiagram.copySource":"ಮರ್‌ಮೇಡ್‌ ಕಾಪಿ ಮಾಡಿ","mermaidDiagram.originalCode":"ಮರ್‌ಮೇಡ್‌ ಸೋರ್ಸ್‌ ಕೋಡ್‌","notifications.permissions.description":"ನೋಟಿಫಿಕೇಶನ್‌ ಒಪ್ಪಿಗೆಗಳು ಬೇಕಾದಾಗ ಎಚ್ಚರಿಕೆಗಳನ್ನು ತೋರಿಸಿ","notifications.permissions.label":"ಒಪ್ಪಿಗೆ ನೋಟಿಫಿಕೇಶನ್‌ಗಳನ್ನು ಎನೇಬಲ್‌ ಮಾಡಿ","notifications.turnMode.always":"ಯಾವಾಗಲೂ","notifications.turnMode.description":"ಕೋಡೆಕ್ಸ್‌ ತನ್ನ ಕೆಲಸ ಮುಗಿಸಿದೆ ಎಂದು ನಿಮ್ಮನ್ನು ಎಚ್ಚರಿಸಿದಾಗ ಹೊಂದಿಸಲಾಗುತ್ತದೆ","notifications.turnMode.label":"ಟರ್ನ್‌ ಮುಕ್ತಾಯದ ನೋಟಿಫಿಕೇಶನ್‌ಗಳು","notifications.turnMode.off":"ಎಂದಿಗೂ ಇಲ್ಲ","notifications.turnMode.unfocused":"ಬರೀ ಗಮನವಿಲ್ಲದಾಗ","patchApprovalRequest.approve":"ಅಪ್ರೋವ್ ಮಾಡಿ","patchApprovalRequest.menu.allowAlways":"ಹೌದು, ಮತ್ತು ಈ ಸೆಷನ್‌ನಲ್ಲಿ ಪುನಃ ಕೇಳಬೇಡಿ","patchApprovalRequest.menu.allowForSession":"ಹೌದು, ಈ ಸೆಷನ್‌ನಲ್ಲಿ ಮತ್ತೊಮ್ಮೆ ಕೇಳಬೇಡಿ","patchApprovalRequest.menu.allowOnce":"ಹೌದು","patchApprovalRequest.prompt":"ನೀವು ಈ ಬದಲಾವಣೆಗಳನ್ನು ಮಾಡಲು ಬಯಸುತ್ತೀರಾ?","patchApprovalRequest.reject":"ಇಲ್ಲ","patchApprovalRequest.waitingForApproval":"ಫೈಲ್‌ಗಳನ್ನು ತಿದ್ದಲು ಅಪ್ರೂವಲ್ ಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ","pendingRequest.approvalExec.collapse":"ಕುಸಿತ","pendingRequest.approvalExec.expand":"ಹಿಗ್ಗಿಸಿ","pendingRequestStory.toastAnswer":"ಉತ್ತರ: {answer}","pendingRequestStory.toastApprovalTitle":"ಅನುಮೋದನೆ ಪ್ರತಿಕ್ರಿಯೆ","pendingRequestStory.toastFollowupPrompt":"ಪ್ರಾಂಪ್ಟ್: {prompt}","pendingRequestStory.toastFollowupTitle":"ಮುಂದುವರಿಕೆ ಕಳುಹಿಸಲಾಗಿದೆ","pendingRequestStory.toastNoAnswers":"ಯಾವುದೇ ಉತ್ತರಗಳನ್ನು ನೀಡಲಾಗಿಲ್ಲ","pendingRequestStory.toastQuestion":"ಪ್ರಶ್ನೆ: {question}","pendingRequestStory.toastUnknownDecision":"ತಿಳಿಯದ","pendingRequestStory.toastUserInputTitle":"ಸಲ್ಲಿಸಲಾದ ಉತ್ತರಗಳು","quickAction.request.codeReview.branches.new":"{to} ಹೋಲಿಕೆಯಲ್ಲಿ {from} ಮೇಲಿನ ಚೇಂಜಸ್ ಅನ್ನು ರಿವ್ಯೂ ಮಾಢಿ","quickAction.request.codeReview.uncommitted.new":"ನನ್ನ ಕಮಿಟ್‌ ಮಾಡದ ಚೇಂಜಸ್ ಅನ್ನು ದಯವಿಟ್ಟು ರಿವ್ಯೂ ಮಾಡಿ","reasoningItem.thinking":"ಥಿಂಕ್ ಮಾಡುತ್ತಿದೆ","reasoningItem.thought":"ಯೋಚಿಸಿದೆ","reasoningItem.thoughtWithElapsed":"{elapsed} ಕ್ಕಾಗಿ ಯೋಚಿಸಲಾಗಿದೆ","recentConversations.title":"ಇತ್ತೀಚಿನ ಕಾನ್ವರ್ಸೇಷನ್ಸ್","recentTasks.worktreeInitFailedTitle":"ವರ್ಕ್‌ಟ್ರೀ ಇನಿಟ್‌ ಸೋತಿದೆ","recentTasks.worktreeSettingUpTitle":"ವರ್ಕ್‌ಟ್ರೀ ಹೊಂದಿಸಲಾಗುತ್ತಿದೆ","requestInputPanel.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","requestInputPanel.dismiss":"ತಳ್ಳಿಹಾಕಿ","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ಇಲ್ಲಿ ಟೈಪ್‌ ಮಾಡಿ","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"ಇಲ್ಲ, ಮತ್ತು ಕೋಡೆಕ್ಸ್‌ಗೆ ಬೇರೆ ರೀತಿಯಲ್ಲಿ ಏನು ಮಾಡಬೇಕೆಂದು ತಿಳಿಸಿ","requestInputPanel.selectedBadge":"ಆಯ್ಕೆಯಾದವರು","requestInputPanel.skip":"ಬಿಟ್ಟುಬಿಡಿ","requestInputPanel.submit":"ಸಬ್ಮಿಟ್ ಮಾಡಿ","review.commit.ariaLabel.includeUnstaged":"ಏರ್ಪಡಿಸಿಲ್ಲದ ಮಾರ್ಪಾಡುಗಳನ್ನು ಸೇರಿಸಿ","review.commit.buttonLabel":"ಕಮಿಟ್ ಮಾಡಿ","review.commit.disabled.committing":"ಕಮಿಟ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","review.commit.disabled.loadingDiff":"diff ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ…","review.commit.disabled.missingContext":"ಕಮಿಟ್ ಸಂದೇಶವನ್ನು ರಚಿಸಲು ಕೆಲವು ಹಿನ್ನೆಲೆಯನ್ನು ಸೇರಿಸಿ","review.commit.disabled.noChanges":"ಕಮಿಟ್‌ ಮಾಡಲು ಮಾರ್ಪಾಡುಗಳಿಲ್ಲ","review.commit.disabled.noSelection":"ಕಮಿಟ್‌ ಮಾಡಲು ಮಾರ್ಪಾಡುಗಳನ್ನು ಆರಿಸಿ","review.commit.disabled.unavailable":"ಈಗ ಕಮಿಟ್‌ ದೊರೆಯುತ್ತಿಲ್ಲ","review.commit.error":"ಚೇಂಜಸ್ ಅನ್ನು ಕಮಿಟ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ","review.commit.form.changesToBeCommitted":"ಚೇಂಜಸ್","review.commit.form.commitTo":"ಬ್ರಾಂಚ್","review.commit.form.commitTo.none":"-","review.commit.form.continue":"ಕಂಟಿನ್ಯೂ ಮಾಡಿ","review.commit.form.title":"ನಿಮ್ಮ ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಿ","review.commit.generate.emptyResponse":"ಕಮಿಟ್ ಸಂದೇಶವನ್ನು ರಚಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ.","review.commit.generate.failed":"ಕಮಿಟ್ ಸಂದೇಶವನ್ನು ರಚಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ: {error}","review.commit.generate.missingPrompt":"ಕಮಿಟ್ ಸಂದೇಶವನ್ನು ರಚಿಸಲು ಕೆಲವು ಹಿನ್ನೆಲೆಯನ್ನು ಸೇರಿಸಿ.","review.commit.includeUnstaged":"ಏರ್ಪಡಿಸಿಲ್ಲದ ಮಾರ್ಪಾಡುಗಳನ್ನು ಸೇರಿಸಿ","review.commit.loading.description":"ತುಸು ಕಾಯಿರಿ, ಕೆಲವು ಗಳಿಗೆಗಳಲ್ಲಿ ಇದು ಮುಗಿಯುತ್ತದೆ","review.commit.loading.step.commit.done":"ಕಮಿಟ್‌ ಮಾಡಲಾದ ಚೇಂಜಸ್","review.commit.loading.step.commit.pending":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ","review.commit.loading.step.createPr.done":"ಪುಲ್ ಕೋರಿಕೆ ಹುಟ್ಟುಹಾಕಲಾಗಿದೆ","review.commit.loading.step.createPr.pending":"ಪುಲ್ ಕೋರಿಕೆ ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ","review.commit.loading.step.push.done":"ಕವಲು {branch} ಕ್ಕೆ ನೂಕಲಾಗಿದೆ","review.commit.loading.step.push.pending":"ಕವಲು {branch} ಕ್ಕೆ ನೂಕಲಾಗುತ್ತಿದೆ","review.commit.loading.title.commit":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ","review.commit.loading.title.createPr":"PR‌ ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ","review.commit.loading.title.push":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಪುಶ್ ಮಾಡಲಾಗುತ್ತಿದೆ","review.commit.messageLabel":"ಕಮಿಟ್‌ ಸಂದೇಶ","review.commit.messagePlaceholder":"ಕಮಿಟ್‌ ಸಂದೇಶ ತನ್ನಡೆತದಿಂದ ಉಂಟಾಗಲು ಬರಿದಾಗಿ ಬಿಡಿ","review.commit.nextSteps":"ಮುಂದಿನ ಹಂತಗಳು","review.commit.nextSteps.commit":"ಕಮಿಟ್ ಮಾಡಿ","review.commit.nextSteps.commitAndCreate":"ಕಮಿಟ್ ಮಾಡಿ‌ ಮತ್ತು PR ಹುಟ್ಟುಹಾಕಿ","review.commit.nextSteps.commitAndPush":"ಕಮಿಟ್ ಮಾಡಿ‌ ಮತ್ತು ನೂಕಿ","review.commit.nextSteps.prRequiresGh":"GitHub CLI ಬೇಕಾಗಿದೆ: {command}","review.commit.rows.changes":"ಚೇಂಜಸ್","review.commit.rows.commitCount":"{count, plural, one {# ಕಮಿಟ್‌} other {# ಕಮಿಟ್‌ಗಳು}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# ಕಮಿಟ್‌} other {# ಕಮಿಟ್‌ಗಳು}} ಮತ್ತು {stats}","review.commit.rows.fileCount":"{count, plural, one {# ಫೈಲ್} other {# ಫೈಲ್‌ಗಳು}}","review.commit.state.error.body":"ಕಮಿಟ್‌ ಮಾಡುವಾಗ ಏನೊ ತಪ್ಪಾಗಿದೆ. ನಿಮ್ಮ git ಸ್ಥಿತಿ ನೋಡಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.","review.commit.state.error.title":"ಕಮಿಟ್‌ ಆಗಲಿಲ್ಲ","review.commit.state.success.title":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಕಮಿಟ್‌ ಮಾಡಲಾಗಿದೆ","review.commit.untracked.loadingStats":"ಜಾಡುಹಿಡಿಯದ diff ಅಂಕಿಅಂಶಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","reviewFindingAttachments.count":"{count, plural, one {# ಹುಡುಕುತ್ತಿದೆ} other {# ದೊರೆತಗಳು}}","settings.agent.configuration.configToml":"ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್ ನೀತಿಗಳನ್ನು","settings.agent.configuration.configToml.description":"ಏಜೆಂಟ್‌ ನಡವಳಿಕೆಯನ್ನು ಒಗ್ಗಿಸಲು ನಿಮ್ಮ config ತಿದ್ದಿ","settings.agent.configuration.configToml.docs":"ಡಾಕ್ಸ್","settings.agent.configuration.configToml.restartNote":"ಮಾರ್ಪಾಡುಗಳನ್ನು ಹಚ್ಚಲು ತಿದ್ದಿದ ಬಳಿಕ ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ಮರುತೊಡಗಿಸಿ","settings.agent.configuration.subtitle":"ಕೋಡೆಕ್ಸ್‌ ಬಳಕೆಯಾಗುವ ಎಲ್ಲಿಗಾದರೂ ಈ ಸೆಟಿಂಗ್‌ಗಳು ಸಲ್ಲುತ್ತವೆ","settings.automations.banner.danger":"ತನ್ನಡೆತಗಳು ನಿಮ್ಮ ಮೊದಲಾಯ್ಕೆಯ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಸೆಟಿಂಗ್‌ಗಳೊಂದಿಗೆ ನಡೆಯುತ್ತವೆ, ಅವುಗಳನ್ನು ಈಗ ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕಿಗೆ ಹೊಂದಿಸಲಾಗಿದೆ. ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕು ಇರುವ ಹಿನ್ನೆಲೆ ತನ್ನಡೆತಗಳನ್ನು ನಡೆಸುವುದು ಹೆಚ್ಚಿನ ಕೇಡನ್ನು ಒಳಗೊಂಡಿದೆ, ಏಕೆಂದರೆ ಕೋಡೆಕ್ಸ್‌ ಫೈಲ್‌ಗಳನ್ನು ಮಾರ್ಪಡಿಸಬಹುದು, ಕಮಾಂಡ್‌ಗಳನ್ನು ಎಸಗಬಹುದು ಮತ್ತು ಕೇಳದೆ ನೆಟ್‌ವರ್ಕ್‌ ಅನ್ನು ಬಳಸಬಹುದು. ಪೂರ್ತಿ ಬಳಸುಹಕ್ಕಿನೊಂದಿಗೆ ಏಜೆಂಟ್‌ ಯಾವ ಕಮಾಂಡ್‌ಗಳನ್ನು ಎಸಗಬಹುದು ಎಂದು ಆರಿಸಿ ಹುರುಳಿಸಲು, ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಸೆಟಿಂಗ್‌ಗಳನ್ನು ಕಾರ್ಯಕ್ಷೇತ್ರ ಬರೆಯಬಲ್ಲ ಎಂದು ಅಪ್‌ಡೇಟ್‌ ಮಾಡುವುದು ಮತ್ತು <rulesDocsLink>ಕಟ್ಟಲೆಗಳನ್ನು</rulesDocsLink> ಬಳಸುವುದನ್ನು ಪರಿಗಣಿಸಿ.","settings.automations.banner.defaultHowTo.default":"ತನ್ನಡೆತಗಳು ನಿಮ್ಮ ಮೊದಲಾಯ್ಕೆಯ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಸೆಟಿಂಗ್‌ಗಳೊಂದಿಗೆ ನಡೆಯುತ್ತವೆ. ಪರಿಕರ ಕರೆಗಳು ಕಾರ್ಯಕ್ಷೇತ್ರದ ಹೊರಗೆ ಫೈಲ್‌ಗಳನ್ನು ಮಾರ್ಪಡಿಸುವುದು, ನೆಟ್‌ವರ್ಕ್‌ ಬಳಸುವುದು ಇಲ್ಲವೇ ನಿಮ್ಮ ಕಂಪ್ಯೂಟರ್‌ನಲ್ಲಿ ಆಪ್‌ಗಳೊಂದಿಗೆ ಕೆಲಸಮಾಡಬೇಕಾಗುತ್ತದೆ ಎಂದಾದರೆ ಅವು ನಡೆಯುವುದಿಲ್ಲ. <rulesDocsLink>ಕಟ್ಟಲೆಗಳು</rulesDocsLink> ಬಳಸುವ ಮೂಲಕ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ನ ಹೊರಗೆ ಎಸಗಲು ನೀವು ಕಮಾಂಡ್‌ಗಳನ್ನು ಒಪ್ಪಿಗೆಪಟ್ಟಿಗೆ ಸೇರಿಸಲು ಆರಿಸಬಹುದು.","settings.automations.banner.defaultHowTo.readOnly":"ತನ್ನಡೆತಗಳು ನಿಮ್ಮ ಮೊದಲಾಯ್ಕೆಯ ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಸೆಟಿಂಗ್‌ಗಳೊಂದಿಗೆ ನಡೆಯುತ್ತವೆ, ಅವುಗಳನ್ನು ಈಗ ಬರೀ-ಓದಬಲ್ಲ ಎಂದು ಹೊಂದಿಸಲಾಗಿದೆ. ಪರಿಕರ ಕರೆಗಳು ಫೈಲ್‌ಗಳನ್ನು ಮಾರ್ಪಡಿಸುವುದು, ನೆಟ್‌ವರ್ಕ್‌ ಬಳಸುವುದು ಇಲ್ಲವೇ ನಿಮ್ಮ ಕಂಪ್ಯೂಟರ್‌ನಲ್ಲಿ ಆಪ್‌ಗಳೊಂದಿಗೆ ಕೆಲಸಮಾಡಬೇಕಾಗುತ್ತದೆ ಎಂದಾದರೆ ಅವು ನಡೆಯುವುದಿಲ್ಲ. ಸ್ಯಾಂಡ್‌ಬಾಕ್ಸ್‌ ಸೆಟಿಂಗ್‌ಗಳನ್ನು ಕಾರ್ಯಕ್ಷೇತ್ರ ಬರೆಯಬಲ್ಲ ಎಂದು ಅಪ್‌ಡೇಟ್‌ ಮಾಡುವುದನ್ನು ಪರಿಗಣಿಸಿ.","settings.automations.cancel":"ರದ್ದುಮಾಡಿ","settings.automations.create":"ಕ್ರಿಯೇಟ್ ಮಾಡಿ","settings.automations.cwdEmpty":"ಪ್ರಾಜೆಕ್ಟ್ ಫೋಲ್ಡರ್‌ಗಳು ದೊರೆಯುತ್ತಿಲ್ಲ","settings.automations.cwdLabel":"ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು","settings.automations.cwdPlaceholder":"ಫೋಲ್ಡರ್‌ಅನ್ನು ಆಯ್ಕೆಮಾಡಿ","settings.automations.cwdSubtitle":"ಒಂದು ಸರಿಯಾದ ಕವಲಿನಲ್ಲಿ ತನ್ನಡೆತ ನಡೆಯಬೇಕೆಂದು ನೀವು ಬಯಸಿದರೆ, ಅದನ್ನು ನಿಮ್ಮ ಪ್ರಾಂಪ್ಟ್‌ನಲ್ಲಿ ತಿಳಿಸಬಹುದು.","settings.automations.delete":"ಡಿಲೀಟ್ ಮಾಡಿ","settings.automations.dialog.editTitle":"ಸ್ವಯಂಚಾಲಿತತೆಯನ್ನು ತಿದ್ದಿ","settings.automations.dialog.newTitle":"ಹೊಸ ಯಾಂತ್ರೀಕರಣ","settings.automations.dialog.subtitle":"ಮರುಕಳಿಸುವ ಟಾಸ್ಕ್‌ಗಳನ್ನು ಹಿನ್ನೆಲೆಯಲ್ಲಿ ತನ್ನಡೆಯಿಸಿ. ಕೋಡೆಕ್ಸ್‌ ದೊರೆತಗಳನ್ನು ಇನ್‌ಬಾಕ್ಸ್‌ಗೆ ಸೇರಿಸುತ್ತದೆ, ಇಲ್ಲವೇ ರಿಪೋರ್ಟ್‌ ಮಾಡಲು ಏನೂ ಇಲ್ಲದಿದ್ದರೆ ಟಾಸ್ಕ್‌ ಅನ್ನು ತನ್ನಡೆತದಿಂದ ಆರ್ಕೈವ್‌ ಮಾಡುತ್ತದೆ. <learnMoreLink>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</learnMoreLink>","settings.automations.dialog.title":"ಸ್ವಯಂಚಾಲಿತತೆಯನ್ನು ಕ್ರಿಯೇಟ್ ಮಾಡಿ","settings.automations.executionCopy.git":"Git ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು ಮೀಸಲಾಗಿಟ್ಟ ಹಿನ್ನೆಲೆ ವರ್ಕ್‌ಟ್ರೀಗಳಲ್ಲಿ ನಡೆಯುತ್ತವೆ.","settings.automations.executionCopy.local":"ತನ್ನಡೆತಗಳು ಆರಿಸಿದ ಪ್ರಾಜೆಕ್ಟ್‌ ಡೈರೆಕ್ಟರಿಗಳಲ್ಲಿ ನೇರವಾಗಿ ನಡೆಯುತ್ತವೆ.","settings.automations.executionCopy.nonGit":"ಆವೃತ್ತಿ ಹತೋಟಿಯಿಲ್ಲದ ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು ಸ್ಥಳೀಯವಾಗಿ ನಡೆಯುತ್ತವೆ, ಏಕೆಂದರೆ ವರ್ಕ್‌ಟ್ರೀಗಳಿಗೆ Git ಬೇಕಾಗುತ್ತದೆ.","settings.automations.executionEnvironment.ariaLabel":"ಎಸಗಿಕೆ ಪರಿಸರ","settings.automations.executionEnvironment.label":"ಎಸಗಿಕೆ ಪರಿಸರ","settings.automations.executionEnvironment.local":"ಸ್ಥಳೀಯ","settings.automations.executionEnvironment.local.help":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕದೆ ಆರಿಸಿದ ಪ್ರಾಜೆಕ್ಟ್‌ ಡೈರೆಕ್ಟರಿಯಲ್ಲಿ ನೇರವಾಗಿ ನಡೆಯುತ್ತದೆ.","settings.automations.executionEnvironment.worktree":"ವರ್ಕ್‌ಟ್ರೀ","settings.automations.executionEnvironment.worktree.help":"ನಿಮ್ಮ ಈಗಿನ ಚೆಕ್‌ಔಟ್‌ ಅನ್ನು ಮಾರ್ಪಡಿಸದೆ, ಆರಿಸಿದ ಪ್ರಾಜೆಕ್ಟ್‌ನಿಂದ ಹುಟ್ಟುಹಾಕಲಾದ ಮೀಸಲಾಗಿಟ್ಟ Git ವರ್ಕ್‌ಟ್ರೀನಲ್ಲಿ ನಡೆಯುತ್ತದೆ.","settings.automations.loading":"ಲೋಡ್ ಆಗುತ್ತಿದೆ...","settings.automations.nameLabel":"ಹೆಸರು","settings.automations.namePlaceholder":"ಸೆಂಟ್ರಿ ಸಮಸ್ಯೆಗಳಿಗಾಗಿ ಪರಿಶೀಲಿಸಿ","settings.automations.pause":"ವಿರಾಮ","settings.automations.promptLabel":"ಪ್ರಾಂಪ್ಟ್","settings.automations.promptPlaceholder":"$Sentry ರಲ್ಲಿ ಕ್ರ್ಯಾಶ್‌ಗಳನ್ನು ನೋಡಿ","settings.automations.resume":"ಪುನರಾರಂಭಿಸಿ","settings.automations.rruleSummaryFallback":"ಕಸ್ಟಮ್ ವೇಳಾಪಟ್ಟಿ","settings.automations.runNow":"ಪರೀಕ್ಷಿಸು","settings.automations.save":"ಸೇವ್ ಮಾಡಿ","settings.automations.scheduleBadge.dayCount":"{count}ದಿನ","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"ವಾರದ ದಿನಗಳು","settings.automations.scheduleBadge.weekends":"ವಾರದ ಕೊನೆ","settings.automations.scheduleHeader":"ವೇಳಾಪಟ್ಟಿ","settings.automations.scheduleHours":"ಗಂಟೆಗಳು","settings.automations.scheduleLabel":"ಈ ಹೊತ್ತಿಗೊಮ್ಮೆ ಎಸಗಿ","settings.automations.scheduleMode.daily":"ಪ್ರತಿದಿನ","settings.automations.scheduleMode.interval":"ನಡುವಿನ ಅವಧಿ","settings.automations.scheduleModeLabel":"ವೇಳಾಪಟ್ಟಿ ಬಗೆ","settings.automations.scheduleSummary.daily":"{time} ನಲ್ಲಿ ಪ್ರತಿದಿನ","settings.automations.scheduleSummary.interval":"ಪ್ರತಿ {count}ತಾಸಿಗೊಮ್ಮೆ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ದಿನ} other {# ದಿನಗಳು}}","settings.automations.scheduleSummary.intervalDays":"{days} ಗಳಲ್ಲಿ {interval}","settings.automations.scheduleSummary.intervalHourly":"ತಾಸಿಗೊಮ್ಮೆ","settings.automations.scheduleSummary.singleDay":"{day} ಕ್ಕೆ {time}","settings.automations.scheduleSummary.weekdays":"ವಾರದ ದಿನಗಳಲ್ಲಿ {time} ಹೊತ್ತಿಗೆ","settings.automations.scheduleSummary.weekdaysLabel":"ವಾರದ ದಿನಗಳು","settings.automations.scheduleSummary.weekends":"ವಾರದ ಕೊನೆಯಲ್ಲಿ {time} ಹೊತ್ತಿಗೆ","settings.automations.scheduleSummary.weekendsLabel":"ವಾರದ ಕೊನೆ","settings.automations.scheduleSummary.weekly":"{days} ಕ್ಕೆ {time}","settings.automations.scheduleWeekdays":"ಆನ್","settings.automations.weekdayState.excluded":"ಹೊರಗಿಡಲಾಗಿದೆ","settings.automations.weekdayState.included":"ಒಳಗೊಂಡಿದೆ","settings.conversationDetail.steps":"ಹಂತಗಳು","settings.conversationDetail.steps.description":"ಆಜ್ಞೆಗಳನ್ನು ಮತ್ತು ಔಟ್‌ಪುಟ್‌ಗಳನ್ನು ಮರೆಮಾಡಿ","settings.conversationDetail.stepsWithCommands":"ಕೋಡ್ ಆಜ್ಞೆಗಳ ಹಂತಗಳು","settings.conversationDetail.stepsWithCommands.description":"ಕಮಾಂಡ್‌ಗಳನ್ನು ತೋರಿಸಿ, ಔಟ್‌ಪುಟ್‌ ಮಡಚಿ","settings.conversationDetail.stepsWithOutput":"ಕೋಡ್ ಔಟ್‌ಪುಟ್ ನೊಂದಿಗೆ ಹಂತಗಳು","settings.conversationDetail.stepsWithOutput.description":"ಕಮಾಂಡ್‌ಗಳನ್ನು ತೋರಿಸಿ ಮತ್ತು ಔಟ್‌ಪುಟ್‌ ಹಿಗ್ಗಿಸಿ","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"ಆರ್ಕೈವ್ ಮಾಡಿದ ಚಾಟ್‍ಗಳು ಇಲ್ಲ.","settings.dataControls.archivedChats.error":"ಆರ್ಕೈವ್ ಮಾಡಿದ ಚಾಟ್‍ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","settings.dataControls.archivedChats.loading":"ಆರ್ಕೈವ್ ಮಾಡಿದ ಚಾಟ್‍ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","settings.dataControls.archivedChats.unarchive":"ಅನ್‌ಆರ್ಕೈವ್ ಮಾಡಿ","settings.dataControls.archivedChats.unarchiveError":"ಚಾಟ್‌ ಆರ್ಕೈವ್‌ ಆಗದಿರುವಂತೆ ಮಾಡಲು ಆಗಲಿಲ್ಲ","settings.dataControls.archivedChats.unarchiveSuccess":"ಥ್ರೆಡ್‌ ಆರ್ಕೈವ್ ಅನ್ನು ರದ್ದುಪಡಿಸಲಾಗಿದೆ. <viewNowLink> ಈಗ ವೀಕ್ಷಿಸಿ </viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"ಆರ್ಕೈವ್‌ ಮಾಡದ ಥ್ರೆಡ್‌.","settings.dataControls.archivedChats.untitled":"ಹೆಸರಿಲ್ಲದ ಚಾಟ್‌","settings.dataControls.archivedChats.viewNow":"ಈಗ ನೋಡಿ","settings.editRow.headerPlaceholder":"ಕೀ","settings.editRow.removeEntry":"ಸೇರಿಕೆ ರಿಮೂವ್ ಮಾಡಿ","settings.editRow.valuePlaceholder":"ಮೌಲ್ಯ","settings.general.appearance":"ಗೋಚರತೆ","settings.general.appearance.codeFont":"ಕೋಡ್ ಫಾಂಟ್","settings.general.appearance.codeFont.description":"ಚಾಟ್‌ಗಳು ಮತ್ತು ಡಿಫ್‌ಗಳಲ್ಲಿ ಕೋಡ್‌ಗೆ ಬಳಸಲಾಗುವ ಫಾಂಟ್ ಮತ್ತು ಗಾತ್ರವನ್ನು ಹೊಂದಿಸಿ","settings.general.appearance.codeFontFamily":"ಕೋಡ್ ಫಾಂಟ್‌ ಕುಟುಂಬ","settings.general.appearance.codeFontSize":"ಕೋಡ್ ಫಾಂಟ್‌ ಅಳತೆ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ಸಿಸ್ಟಮ್‌ ಅರೆಸಿಲುವು ಬಳಸುವುದಕ್ಕೆ ಮಾರ್ಪಾಗಿ ವಿಂಡೋಸ್‌ ಒಂದೇ ಬಣ್ಣದ ಹಿನ್ನೆಲೆ ಬಳಸುವಂತೆ ಮಾಡಿ","settings.general.appearance.opaqueWindows.label":"ಅಪಾರದರ್ಶಕ ವಿಂಡೋ ಹಿನ್ನಲೆಯಲ್ಲಿ ಬಳಸಿ","settings.general.appearance.sansFontFamily":"Sans ಫಾಂಟ್‌ ಕುಟುಂಬ","settings.general.appearance.sansFontFamily.description":"ಕೋಡೆಕ್ಸ್‌ UI ಗೆ ಬಳಸುವ ಫಾಂಟ್‌ ಸರಿದೂಗಿಸಿ","settings.general.appearance.sansFontSize":"ಸಾನ್ಸ್ ಫಾಂಟ್ ಗಾತ್ರ","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT‑5.3‑Codex‑Spark ಮೊದಲ ಸೂಚನೆ (ಟರ್ನ್) ನಡೆಯುತ್ತಿರುವಾಗ ಸಂಪೂರ್ಣ‑ವಿಂಡೋ ಹಬ್ಬ ಪರಿಣಾಮಗಳನ್ನು ತೋರಿಸು.","settings.general.appearance.sparkCelebrationEffects.label":"ಸ್ಪಾರ್ಕ್ ಆಚರಣೆಯ ಎಫೆಕ್ಟ್‌ಗಳು","settings.general.appearance.theme":"ಥೀಮ್‌","settings.general.appearance.theme.dark":"ಕಪ್ಪು","settings.general.appearance.theme.description":"ಬೆಳಕು, ಕತ್ತಲೆ ಬಳಸಿ ಇಲ್ಲವೇ ನಿಮ್ಮ ಸಿಸ್ಟಮ್‌ಗೆ ಹೊಂದಿಸಿ","settings.general.appearance.theme.light":"ತಿಳಿಯಾದ","settings.general.appearance.theme.system":"ಸಿಸ್ಟಮ್","settings.general.appearance.usePointerCursors.description":"ಮಾತಾಟ ನಡೆಸುವ ಅಂಶಗಳ ಮೇಲೆ ಸುಳಿದಾಡುವಾಗ ಕರ್ಸರ್‌ ಅನ್ನು ಪಾಯಿಂಟರ್‌ ಆಗಿ ಮಾರ್ಪಡಿಸಿ","settings.general.appearance.usePointerCursors.label":"ಪಾಯಿಂಟರ್‌ ಕರ್ಸರ್‌ಗಳನ್ನು ಬಳಸಿ","settings.general.enterBehavior.description":"ಎನೇಬಲ್‌ ಆದಾಗ, ಹಲವುಸಾಲುಗಳ ಪ್ರಾಂಪ್ಟ್‌ಗಳನ್ನು ಕಳುಹಿಸಲು {modifierSymbol} + enter ಒತ್ತಬೇಕು.","settings.general.enterBehavior.label":"ದೀರ್ಘ ಪ್ರಾಂಪ್ಟ್‌ಗಳನ್ನು ಕಳುಹಿಸಲು {modifierSymbol} + Enter ಬಳಸಿ","settings.general.experimentalFeatures":"ಒರೆತದ ಫೀಚರ್‌ಗಳು (ಬೀಟಾ)","settings.general.experimentalFeatures.empty":"ಬೀಟಾ ಒರೆತದ ಫೀಚರ್‌ಗಳು ದೊರೆಯುತ್ತಿಲ್ಲ.","settings.general.experimentalFeatures.loading":"ಒರೆತದ ಫೀಚರ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","settings.general.experimentalFeatures.restartNote":"ಒರೆತದ ಫೀಚರ್‌ ಮಾರ್ಪಾಡುಗಳನ್ನು ಹಚ್ಚಲು ಕೋಡೆಕ್ಸ್‌ ಮರುತೊಡಗಿಸಿ","settings.general.experimentalFeatures.toggle":"ಟಾಗಲ್ {featureName} ","settings.general.followUpQueueMode.description":"ಕೋಡೆಕ್ಸ್‌ ನಡೆಯುವಾಗ ಮುಂದುವರಿಕೆಗಳನ್ನು ಸರತಿಸಾಲಿಗೆ ಸೇರಿಸಿ ಇಲ್ಲವೇ ಈಗಿನ ನಡೆತವನ್ನು ನಡೆಸಿ. ಒಂದು ಸಂದೇಶಕ್ಕೆ ಎದುರಾಗಿರುವುದನ್ನು ಮಾಡಲು {invertFollowUpShortcutLabel} ಒತ್ತಿರಿ.","settings.general.followUpQueueMode.interrupt":"ಸ್ಟಿಯರ್‌","settings.general.followUpQueueMode.label":"ಫಾಲೋ-ಅಪ್ ‌ನಡವಳಿಕೆ","settings.general.followUpQueueMode.queue":"ಕ್ಯೂ","settings.general.notifications":"ಅಧಿಸೂಚನೆಗಳು","settings.general.power.preventSleepWhileRunning.description":"ಕೋಡೆಕ್ಸ್‌ ಥ್ರೆಡ್‌ ಅನ್ನು ನಡೆಸುತ್ತಿರುವಾಗ ನಿಮ್ಮ ಕಂಪ್ಯೂಟರ್‌ ಎಚ್ಚರವಾಗಿರಲಿ.","settings.general.power.preventSleepWhileRunning.label":"ನಡೆಯುತ್ತಿರುವಾಗ ಮಲಗಲು ಬಿಡದಿರಿ","settings.git.branchPrefix.ariaLabel":"ಕವಲು ಮುನ್ನೊಟ್ಟು","settings.git.branchPrefix.description":"ಕೋಡೆಕ್ಸ್‌ನಲ್ಲಿ ಹೊಸ ಕವಲುಗಳನ್ನು ಹುಟ್ಟುಹಾಕುವಾಗ ಬಳಸುವ ಮುನ್ನೊಟ್ಟು","settings.git.branchPrefix.label":"ಕವಲು ಮುನ್ನೊಟ್ಟು","settings.git.branchPrefix.placeholder":"ಕೋಡೆಕ್ಸ್/‌","settings.git.branchPrefix.save.error":"ಕವಲು ಮುನ್ನೊಟ್ಟನ್ನು ಉಳಿಸಲು ಆಗಲಿಲ್ಲ","settings.git.branchPrefix.save.success":"ಉಳಿಸಿದ ಕವಲು ಮುನ್ನೊಟ್ಟು","settings.git.commitInstructions.ariaLabel":"ಸೂಚನೆಗಳನ್ನು ಕಮಿಟ್ ಮಾಡಿ","settings.git.commitInstructions.description":"ಕಮಿಟ್ ಸಂದೇಶದ ರಚನೆ ಪ್ರಾಂಪ್ಟ್‌ಗಳಿಗೆ ಸೇರಿಸಲಾಗಿದೆ","settings.git.commitInstructions.label":"ಸೂಚನೆಗಳನ್ನು ಕಮಿಟ್ ಮಾಡಿ","settings.git.commitInstructions.placeholder":"ಕಮಿಟ್ ಸಂದೇಶನಕ್ಕೆ ಮಾರ್ಗದರ್ಶನವನ್ನು ಸೇರಿಸಿ…","settings.git.commitInstructions.save":"ಸೇವ್ ಮಾಡಿ","settings.git.commitInstructions.save.error":"ಕಮಿಟ್ ಸೂಚನೆಗಳನ್ನು ಉಳಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ","settings.git.commitInstructions.save.success":"ಕಮಿಟ್ ಸೂಚನೆಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ","settings.git.forcePush.ariaLabel":"ಯಾವಾಗಲೂ ಒತ್ತಾಯದಿಂದ ನೂಕಿ","settings.git.forcePush.description":"ಕೋಡೆಕ್ಸ್‌ನಿಂದ ನೂಕುವಾಗ --force-with-lease ಬಳಸಿ","settings.git.forcePush.label":"ಯಾವಾಗಲೂ ಒತ್ತಾಯದಿಂದ ನೂಕಿ","settings.git.forcePush.save.disabled":"ಯಾವಾಗಲೂ ಒತ್ತಾಯದಿಂದ ನೂಕುವುದು ಡಿಸೇಬಲ್‌ ಆಗಿದೆ","settings.git.forcePush.save.enabled":"ಯಾವಾಗಲೂ ಒತ್ತಾಯದಿಂದ ನೂಕುವುದು ಎನೇಬಲ್‌ ಆಗಿದೆ","settings.git.forcePush.save.error":"ಒತ್ತಾಯದಿಂದ ನೂಕುವ ಸೆಟಿಂಗ್‌ ಉಳಿಸಲು ಆಗಲಿಲ್ಲ","settings.git.prInstructions.ariaLabel":"ಪುಲ್ ಕೋರಿಕೆಯ ಸೂಚನೆಗಳು","settings.git.prInstructions.description":"ಕೋಡೆಕ್ಸ್‌ ಹುಟ್ಟುಹಾಕಿದ ಪುಲ್‌ ಕೋರಿಕೆಗಳಿಗೆ ಸೇರಿಸಲಾಗುತ್ತದೆ","settings.git.prInstructions.label":"ಪುಲ್ ಕೋರಿಕೆಯ ಸೂಚನೆಗಳು","settings.git.prInstructions.placeholder":"ಪುಲ್ ಕೋರಿಕೆಯ ಸೂಚನೆಗಳನ್ನು ಸೇರಿಸಿ...","settings.git.prInstructions.save":"ಸೇವ್ ಮಾಡಿ","settings.git.prInstructions.save.error":"ಪುಲ್ ಕೋರಿಕೆಯ ಸೂಚನೆಗಳನ್ನು ಉಳಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ","settings.git.prInstructions.save.success":"ಪುಲ್ ಕೋರಿಕೆಯ ಸೂಚನೆಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ","settings.ide.defaultOpenTarget.description":"ಡೀಫಾಲ್ಟ್ ಆಗಿ ಫೈಲ್‌ ಮತ್ತು ಫೋಲ್ಡರ್‌ಗಳು ಎಲ್ಲಿ ತೆರೆದುಕೊಳ್ಳುತ್ತವೆ","settings.ide.defaultOpenTarget.label":"ಡೀಫಾಲ್ಟ್ ಆಗಿ ಎಲ್ಲಿ ತೆರೆಯಬೇಕು","settings.ide.defaultOpenTarget.placeholder":"ಎಲ್ಲಿ ತೆರೆಯಬೇಕೆಂದು ಇನ್ನೂ ಗೊತ್ತಿಲ್ಲ","settings.ide.language.auto":"ತನ್ನಡೆತದ ಕಂಡುಹಿಡಿತ","settings.ide.language.autoOption":"ತನ್ನಡೆತದ ಕಂಡುಹಿಡಿತ","settings.ide.language.description":"ಆಪ್‌ UIನ ಭಾಷೆ","settings.ide.language.label":"ಭಾಷೆ","settings.ide.language.search":"ಭಾಷೆಗಳನ್ನು ಸರ್ಚ್ ಮಾಡಿ","settings.layout.actionButton":"ಎಕ್ಸ್‌ಟೆನ್ಶನ್‌ ಮರುತೊಡಗಿಸಿ","settings.layout.actionTitle":"ಆಕ್ಶನ್‌ ಜೊತೆಗಿನ ಸೆಟಿಂಗ್‌ಗಳು","settings.layout.fullWidthTitle":"ಸೆಟಿಂಗ್‌ಗಳು (ಇಡೀ ಅಗಲ)","settings.layout.title":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","settings.localEnvironments.actions.add":"ಆಕ್ಷನ್ ಸೇರಿಸಿ","settings.localEnvironments.actions.add.description":"ಟೂಲ್‌ಬಾರ್‌ನಿಂದ ಎಸಗಲು ಹೊಸ ಕಮಾಂಡ್‌ ಹುಟ್ಟುಹಾಕಿ.","settings.localEnvironments.actions.add.save":"ಸೇವ್ ಮಾಡಿ","settings.localEnvironments.actions.empty":"ಸ್ಥಳೀಯ ಟೂಲ್‌ಬಾರ್‌ನಿಂದ ಕಮಾಂಡ್‌ಗಳನ್ನು ಎಸಗಲು ಆಕ್ಶನ್‌ ಸೇರಿಸಿ.","settings.localEnvironments.actions.icon.debug":"ಡೀಬಗ್","settings.localEnvironments.actions.icon.run":"ರನ್ ಮಾಡಿ","settings.localEnvironments.actions.icon.test":"ಪರೀಕ್ಷಿಸು","settings.localEnvironments.actions.icon.tool":"ಪರಿಕರ","settings.localEnvironments.actions.item.button.delete":"ಡಿಲೀಟ್ ಮಾಡಿ","settings.localEnvironments.actions.item.command":"ಆಕ್ಶನ್‌ ಸ್ಕ್ರಿಪ್ಟ್‌","settings.localEnvironments.actions.item.name":"ಹೆಸರು","settings.localEnvironments.actions.item.platforms":"ಪ್ಲಾಟ್ಫಾರ್ಮ್ಸ್","settings.localEnvironments.actions.item.platforms.help":"ಬರೀ ಸರಿಯಾದ OS ನಲ್ಲಿ ಎಸಗಿ.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"ಪ್ಲಾಟ್‌ಫಾರ್ಮ್ ಆಯ್ಕೆ","settings.localEnvironments.actions.item.platforms.specific":"ಪ್ಲಾಟ್‌ಫಾರ್ಮ್‌ಗೆ ತಕ್ಕ","settings.localEnvironments.actions.item.platforms.windows":"ವಿಂಡೋಸ್","settings.localEnvironments.actions.item.tooltip.delete":"ಡಿಲೀಟ್ ಮಾಡಿ","settings.localEnvironments.actions.title":"ಅಕ್ಷನ್ಸ್","settings.localEnvironments.breadcrumb.back":"ಹಿಂದಕ್ಕೆ","settings.localEnvironments.breadcrumb.edit":"ತಿದ್ದಿ","settings.localEnvironments.breadcrumb.root":"ಪರಿಸರಗಳು","settings.localEnvironments.environment.actions.description":"ಈ ಆಕ್ಶನ್‌ಗಳು ಯಾವುದೇ ಕಮಾಂಡ್‌ ಅನ್ನು ಎಸಗಬಲ್ಲವು ಮತ್ತು ಅವುಗಳನ್ನು ಮೇಲ್ಬರಹದಲ್ಲಿ ತೋರಿಸಲಾಗುವುದು.","settings.localEnvironments.environment.actionsLabel":"ಅಕ್ಷನ್ಸ್","settings.localEnvironments.environment.create":"ಸ್ಥಳೀಯ ಪರಿಸರ ಹುಟ್ಟುಹಾಕಿ","settings.localEnvironments.environment.defaultName":"ಸ್ಥಳೀಯ","settings.localEnvironments.environment.edit":"ಸ್ಥಳೀಯ ಪರಿಸರ ತಿದ್ದಿ","settings.localEnvironments.environment.empty":"ಈ ಕಾರ್ಯಕ್ಷೇತ್ರಕ್ಕಾಗಿ ಇನ್ನೂ ಸ್ಥಳೀಯ ಪರಿಸರ ಅಟ್ಟಣಿಸಿಲ್ಲ.","settings.localEnvironments.environment.name":"ಹೆಸರು","settings.localEnvironments.environment.setup":"ಸೆಟಪ್‌ ಸ್ಕ್ರಿಪ್ಟ್‌ ","settings.localEnvironments.environment.setup.description":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟಿಸಿಕೆ ಮೇಲೆ ಈ ಸ್ಕ್ರಿಪ್ಟ್‌ ನಡೆಯುತ್ತದೆ.","settings.localEnvironments.environment.setup.hint":"ಪ್ರಾಜೆಕ್ಟ್‌ ಬೇರಿನಲ್ಲಿ ನಡೆಯುತ್ತದೆ.","settings.localEnvironments.environment.setup.platformOverrides":"ಪ್ಲಾಟ್‌ಫಾರ್ಮ್‌ ಕಡೆಗಣಿಕೆಗಳು","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} ನೆಲೆಗೊಳಿಕೆ ಸ್ಕ್ರಿಪ್ಟ್ ಸೇರಿಸಿ","settings.localEnvironments.environment.setup.platformOverrides.description":"ಸರಿಯಾದ ಕೆಲವು OS ಗಳಿಗೆ ಮೊದಲಾಯ್ಕೆಯ ಸ್ಕ್ರಿಪ್ಟ್‌ ಅನ್ನು ಕಡೆಗಣಿಸುತ್ತದೆ.","settings.localEnvironments.environment.setup.platformOverrides.remove":"ರಿಮೂವ್ ಮಾಡಿ","settings.localEnvironments.environment.setup.script":"ಸ್ಕ್ರಿಪ್ಟ್‌","settings.localEnvironments.environment.title":"ಪರಿಸರ ವಿವರಗಳು","settings.localEnvironments.file.missing":"ಮೊದಲ ಸಲ ಈ ಫೈಲ್‌ ಹುಟ್ಟುಹಾಕಲು ಉಳಿಸಿ.","settings.localEnvironments.file.parseError":"ಇರುವ ಫೈಲ್‌ ಅನ್ನು ಪಾರ್ಸ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ. ಉಳಿಸುವುದು ಅದನ್ನು ತಿದ್ದಿಬರೆಯುತ್ತದೆ. ({error}) ","settings.localEnvironments.file.path":"ಫೈಲ್: {path}","settings.localEnvironments.file.readError":"ಸ್ಥಳೀಯ ಪರಿಸರ ಡೇಟಾ ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ. ({error})","settings.localEnvironments.file.title":"ಸ್ಥಳೀಯ ಪರಿಸರ ಫೈಲ್","settings.localEnvironments.loading.body":"ನಿಮ್ಮ ಪ್ರಾಜೆಕ್ಟ್‌ ಅಟ್ಟಣೆಯನ್ನು ಹುಡುಕಿ ತರಲಾಗುತ್ತಿದೆ.","settings.localEnvironments.loading.title":"ಸ್ಥಳೀಯ ಪರಿಸರಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ","settings.localEnvironments.preview.devOnly":"(ಬರೀ DEV)","settings.localEnvironments.preview.save":"ಸೇವ್ ಮಾಡಿ","settings.localEnvironments.preview.saveError":"ಫೈಲ್ ಉಳಿಸಲು ಆಗಲಿಲ್ಲ. ({error})","settings.localEnvironments.preview.title":"ಪ್ರಿವ್ಯೂ","settings.localEnvironments.save.disabled.name":"ಸೇವ್ ಮಾಡಲು ಒಂದು ಪರಿಸರವನ್ನು ಸೇರಿಸಿ.","settings.localEnvironments.save.disabled.noChanges":"ಸೇವ್ ಮಾಡಲು ಯಾವುದೇ ಬದಲಾವಣೆಗಳಿಲ್ಲ.","settings.localEnvironments.save.disabled.saving":"ಸೇವ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","settings.localEnvironments.save.success":"ಉಳಿಸಿದ ಸ್ಥಳೀಯ ಪರಿಸರ","settings.localEnvironments.unavailable.body":"ಈ ಕಾರ್ಯಕ್ಷೇತ್ರದ ಸ್ಥಳೀಯ ಪರಿಸರ ಸೆಟಿಂಗ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ.","settings.localEnvironments.unavailable.title":"ಸ್ಥಳೀಯ ಪರಿಸರಗಳು ದೊರೆಯುತ್ತಿಲ್ಲ","settings.localEnvironments.workspace.add":"ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","settings.localEnvironments.workspace.title":"ಪ್ರಾಜೆಕ್ಟ್","settings.localEnvironments.workspaceSelect.addLabel":"ಪರಿಸರ ಸೇರಿಸಿ","settings.localEnvironments.workspaceSelect.description":"ಒಂದು ಪ್ರಾಜೆಕ್ಟ್‌ಗೆ ವರ್ಕ್‌ಟ್ರೀಗಳನ್ನು ನೆಲೆಗೊಳಿಸುವುದು ಹೇಗೆಂದು ಸ್ಥಳೀಯ ಪರಿಸರಗಳು ಕೋಡೆಕ್ಸ್‌ಗೆ ಹೇಳುತ್ತವೆ. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ಇನ್ನೂ ಯಾವುದೇ ಪ್ರಾಜೆಕ್ಟ್‌ಗಳಿಲ್ಲ. ಸ್ಥಳೀಯ ಪರಿಸರಗಳನ್ನು ಅಟ್ಟಣಿಸಲು ಒಂದು ಪ್ರಾಜೆಕ್ಟ್‌ ಸೇರಿಸಿ.","settings.localEnvironments.workspaceSelect.errorLabel":"ಪರಿಸರದ ಕಡೆ ಗಮನಹರಿಸಿ","settings.localEnvironments.workspaceSelect.learnMore":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","settings.localEnvironments.workspaceSelect.listLabel":"ದೊರೆಯುವ ಪ್ರಾಜೆಕ್ಟ್‌ಗಳು","settings.localEnvironments.workspaceSelect.loading":"ಪ್ರಾಜೆಕ್ಟ್‌ಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ.","settings.localEnvironments.workspaceSelect.loadingLabel":"ಪರಿಸರ ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ","settings.localEnvironments.workspaceSelect.title":"ಪ್ರಾಜೆಕ್ಟ್ ಆಯ್ಕೆಮಾಡಿ","settings.localEnvironments.workspaceSelect.viewAction":"ನೋಡಿ","settings.mcp.addServer":"ಸರ್ವರ್‌ ಸೇರಿಸಿ","settings.mcp.app.configure":"ಸಂರಚನೆ ಮಾಡಿ","settings.mcp.app.connect":"ಕನೆಕ್ಟ್ ಮಾಡಿ","settings.mcp.apps.refresh":"ರಿಫ್ರೆಶ್ ಮಾಡಿ","settings.mcp.detail.addArgument":"ಆರ್ಗ್ಯುಮೆಂಟ್‌ ಸೇರಿಸಿ","settings.mcp.detail.addEnvVar":"ಪರಿಸರ ವೇರಿಯೆಬಲ್ ಸೇರಿಸಿ‌","settings.mcp.detail.addEnvVarPassthrough":"ವೇರಿಯೆಬಲ್ ಸೇರಿಸಿ","settings.mcp.detail.args":"ಆರ್ಗ್ಯುಮೆಂಟ್‌ಗಳು","settings.mcp.detail.back":"ಹಿಂದಕ್ಕೆ","settings.mcp.detail.command":"ಹೊರತರಲು ಕಮಾಂಡ್‌","settings.mcp.detail.cwd":"ಕೆಲಸಮಾಡುವ ಡೈರೆಕ್ಟರಿ","settings.mcp.detail.docs":"MCP ಡಾಕ್ಯುಮೆಂಟೇಶನ್ ತೆರೆಯಿರಿ","settings.mcp.detail.docs.link":"ಡಾಕ್ಸ್","settings.mcp.detail.envVarPassthrough":"ಪರಿಸರ ವೇರಿಯೆಬಲ್‌ ಹಾದಿ","settings.mcp.detail.envVars":"ಪರಿಸರ ವೇರಿಯೆಬಲ್‌ಗಳು","settings.mcp.detail.http.addEnvHeader":"ವೇರಿಯೆಬಲ್ ಸೇರಿಸಿ","settings.mcp.detail.http.addHeader":"ಮೇಲ್ಬರಹ ಸೇರಿಸಿ","settings.mcp.detail.http.bearerToken":"ಬೇರರ್‌ token env var","settings.mcp.detail.http.envHeaders":"ಪರಿಸರ ವೇರಿಯೆಬಲ್‌ಗಳಿಂದ ಮೇಲ್ಬರಹಗಳು","settings.mcp.detail.http.headers":"ಮೇಲ್ಬರಹಗಳು","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"ಹೆಸರು","settings.mcp.detail.save":"ಸೇವ್ ಮಾಡಿ","settings.mcp.detail.switchTransportNotice":"ನೀವು MCP ಸರ್ವರ್‌ ಬಗೆಯ ಮಾರ್ಪಾಡು ನಡೆಸಲು ಬಯಸಿದರೆ, ದಯವಿಟ್ಟು ಮೊದಲು ಅಳವಡಿಸಿದ್ದನ್ನು ತೆಗೆದುಹಾಕಿ.","settings.mcp.detail.titleExisting":"{name} MCP ಅಪ್ಡೇಟ್ ಮಾಡಿ","settings.mcp.detail.titleNew":"ಕಸ್ಟಮ್ MCPಗೆ ಕನೆಕ್ಟ್ ಮಾಡಿ","settings.mcp.detail.transport.http":"ಹರಿಸಬಲ್ಲ HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"ಅನ್‌ಇನ್‌ಸ್ಟಾಲ್ ಮಾಡಿ","settings.mcp.empty":"ಕನೆಕ್ಟ್‌ ಆದ ಕಸ್ಟಮ್ MCP ಸರ್ವರ್‌ಗಳಿಲ್ಲ","settings.mcp.myServers":"ಕಸ್ಟಮ್ ಸರ್ವರ್‌ಗಳು","settings.mcp.partnerServer.description.figma":"ಇಡೀ ಫಿಗ್ಮಾ ಕಾಂಟೆಕ್ಸ್ಟ್ ಅನ್ನು ತರುವ ಮೂಲಕ ಒಳ್ಳೆಯ ಕೋಡ್‌ ಜನರೇಟ್ ಮಾಡಿ","settings.mcp.partnerServer.description.github":"ಕೆಲಸಗಳನ್ನು ತನ್ನಡೆಯಿಸಲು ಮತ್ತು ಡೇಟಾ ಎಕ್ಸ್ಟ್ರಾಕ್ಟ್ ಮಾಡಲು GitHub API ಗಳೊಂದಿಗೆ ಒಗ್ಗೂಡಿಸಿ","settings.mcp.partnerServer.description.linear":"ಲೀನಿಯರ್‌ನ ತೊಡಕು ಜಾಡುಹಿಡಿಯುವುದು ಮತ್ತು ಪ್ರಾಜೆಕ್ಟ್‌ ನಿರ್ವಹಣೆಗಳೊಂದಿಗೆ ಒಗ್ಗೂಡಿಸಿ","settings.mcp.partnerServer.description.notion":"ಡಾಕ್ಯುಮೆಂಟ್‌ಗಳನ್ನು ಓದಿ, ಪುಟಗಳನ್ನು ಅಪ್‌ಡೇಟ್‌ ಮಾಡಿ, ಟಾಸ್ಕ್‌ಗಳನ್ನು ನಿರ್ವಹಿಸಿ","settings.mcp.partnerServer.description.playwright":"ಡಿಸೈನ್‌ ಬಳಸಲು ಮತ್ತು UI ಒರೆದು ನೋಡಲು ಬ್ರೌಸರ್‌ ತನ್ನಡೆತ ಒಗ್ಗೂಡಿಸಿ.","settings.mcp.partnerServer.install":"ಇನ್ಸ್ಟಾಲ್ ಮಾಡಿ","settings.mcp.partnerServer.installAndAuthenticate":"ಇನ್ಸ್ಟಾಲ್ ಮಾಡಿ ಮತ್ತು ದೃಢೀಕರಿಸಿ","settings.mcp.partnerServer.logoAlt":"{label}ಚಿಹ್ನೆ","settings.mcp.partnerServer.manage":"ನಿರ್ವಹಿಸಿ","settings.mcp.partnerServer.vendor":"{vendor} ರಿಂದ","settings.mcp.recommendedServers":"ಶಿಫಾರಸು ಮಾಡಲಾದ ಸರ್ವರ್‌ಗಳು","settings.mcp.restartApp":"ಮರುತೊಡಗಿಸಿ","settings.mcp.restartExtension":"ಎಕ್ಸ್‌ಟೆನ್ಶನ್‌ ಮರುತೊಡಗಿಸಿ","settings.mcp.server.enable":"ಎನೇಬಲ್ ಮಾಡಿ","settings.mcp.server.login":"ದೃಢೀಕರಿಸಿ","settings.mcp.server.settings":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","settings.multiselect.createOption":'"{value}" ಹುಟ್ಟುಹಾಕಿ',"settings.multiselect.removeOption":"ರಿಮೂವ್ ಮಾಡಿ","settings.nav.account":"ಅಕೌಂಟ್","settings.nav.agent":"ಸಂರಚನೆ","settings.nav.ariaLabel":"ಸೆಟ್ಟಿಂಗ್‌ಗಳು","settings.nav.back":"ಆಪ್‌ಗೆ ಹಿಂತಿರುಗಿ","settings.nav.data-controls":"ಆರ್ಕೈವ್ ಮಾಡಲಾದ ಥ್ರೆಡ್‌ಗಳು","settings.nav.environments":"ಕ್ಲೌಡ್‌ ಪರಿಸರಗಳು","settings.nav.externalTooltip":"[ಆಲ್ಫಾ] ಬ್ರೌಸರ್‌ನಲ್ಲಿ ತೆರೆಯುತ್ತದೆ","settings.nav.general-settings":"ಸಾಮಾನ್ಯ","settings.nav.git-settings":"Git","settings.nav.local-environments":"ಪರಿಸರಗಳು","settings.nav.mcp-settings":"MCP ಸರ್ವರ್‌ಗಳು","settings.nav.notImplemented":"[ಆಲ್ಫಾ] ಆಲ್ಫಾದಲ್ಲಿ ದೊರೆಯುವುದಿಲ್ಲ","settings.nav.personalization":"ವೈಯಕ್ತೀಕರಣ","settings.nav.skills-settings":"ಸ್ಕಿಲ್‌ಗಳು","settings.nav.usage-analytics":"ಬಳಕೆ ಮತ್ತು ಬಿಡಿನೋಟ‌","settings.nav.worktrees":"ವರ್ಕ್‌ಟ್ರೀಗಳು","settings.openSourceLicenses.back":"ಹಿಂದಕ್ಕೆ","settings.openSourceLicenses.loading":"ಲೋಡ್ ಆಗುತ್ತಿದೆ...","settings.openSourceLicenses.missing":"ಹೊರಗಿನ ನೋಟಿಸ್‌ಗಳು ಕಂಡುಬಂದಿಲ್ಲ.","settings.openSourceLicenses.notSupported":"ಈ ಹೋಸ್ಟ್‌ನಲ್ಲಿ ದೊರೆಯುತ್ತಿಲ್ಲ.","settings.openSourceLicenses.rowDescription":"ಹೆಚ್ಚುವರಿಯಾಗಿ ಸೇರಿಸಿದ ಅವಲಂಬನೆಗಳಿಗೆ ಹೊರಗಿನ ನೋಟಿಸ್‌ಗಳು","settings.openSourceLicenses.rowLabel":"ಓಪನ್ ಸೋರ್ಸ್ ಲೈಸೆನ್ಸ್‌ಗಳು","settings.openSourceLicenses.subtitle":"ಈ ಆಪ್‌ನಲ್ಲಿ ಸೇರಿಸಿದ ಅವಲಂಬನೆಗಳಿಗೆ ಹೊರಗಿನ ನೋಟಿಸ್‌ಗಳು","settings.openSourceLicenses.title":"ಓಪನ್ ಸೋರ್ಸ್ ಲೈಸೆನ್ಸ್‌ಗಳು","settings.openSourceLicenses.view":"ನೋಡಿ","settings.personalization.agents.description":"ಕೋಡೆಕ್ಸ್‌ ಅನ್ನು ನಿಮಗಾಗಿ ಹೊಂದಿಸುವ ಸೂಚನೆಗಳನ್ನು ತಿದ್ದಿ. {learnMore}","settings.personalization.agents.learnMore":"ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ","settings.personalization.agents.loadError":"agents.md ಲೋಡ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ.","settings.personalization.agents.loading":"agents.md ಲೋಡ್ ಆಗುತ್ತಿದೆ...","settings.personalization.agents.placeholder":"ನಿಮ್ಮ ಕಸ್ಟಮ್ ಸೂಚನೆಗಳನ್ನು ಸೇರಿಸಿ...","settings.personalization.agents.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","settings.personalization.agents.save":"ಸೇವ್ ಮಾಡಿ","settings.personalization.agents.save.error":"agents.md ಉಳಿಸಲು ಆಗುತ್ತಿಲ್ಲ","settings.personalization.agents.save.success":"agents.md ಉಳಿಸಲಾಗಿದೆ","settings.personalization.agents.title":"ಕಸ್ಟಮ್ ಸೂಚನೆಗಳು","settings.personalization.personality.description":"ಕೋಡೆಕ್ಸ್‌ ಪ್ರತಿಕ್ರಿಯೆಗಳಿಗೆ ಮೊದಲಾಯ್ಕೆಯ ಉಲಿಪರಿ ಆಯ್ಕೆಮಾಡಿ","settings.personalization.personality.label":"ಪರ್ಸನಾಲಿಟಿ","settings.sample.contentBody":"ಒಂದೇ ತೆರನಾದ ಅಗಲದೊಂದಿಗೆ ನಿಮ್ಮ ಸೆಟಿಂಗ್ಸ್‌ ಪ್ಯಾನಲ್‌ಗಳನ್ನು ಮಾಡಲು ಈ ಲೇಔಟ್‌ ಬಳಸಿ.","settings.sample.contentTitle":"ಸ್ಯಾಂಪಲ್‌ ಕಾಂಟೆಂಟ್‌ ಬ್ಲಾಕ್‌","settings.section.account":"ಅಕೌಂಟ್","settings.section.agent":"ಸಂರಚನೆ","settings.section.data-controls":"ಆರ್ಕೈವ್ ಮಾಡಲಾದ ಥ್ರೆಡ್‌ಗಳು","settings.section.environments":"ಕ್ಲೌಡ್‌ ಪರಿಸರಗಳು","settings.section.external":"ಆಲ್ಫಾ ಸಮಯದಲ್ಲಿ ನಿಮ್ಮ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ತೆರೆಯುತ್ತದೆ","settings.section.general-settings":"ಸಾಮಾನ್ಯ","settings.section.git-settings":"Git","settings.section.local-environments":"ಪರಿಸರಗಳು","settings.section.mcp-settings":"MCP ಸರ್ವರ್‌ಗಳು","settings.section.mcp-settings.docs":"ಡಾಕ್ಸ್","settings.section.mcp-settings.subtitle":"ಹೊರಗಿನ ಪರಿಕರಗಳು ಮತ್ತು ಡೇಟಾ ಮೂಲಗಳನ್ನು ಕನೆಕ್ಟ್‌ ಮಾಡಿ.","settings.section.personalization":"ವೈಯಕ್ತೀಕರಣ","settings.section.skills-settings":"ಸ್ಕಿಲ್‌ಗಳು","settings.section.unavailable":"ಆಲ್ಫಾದಲ್ಲಿ ಇನ್ನೂ ಲಭ್ಯವಿಲ್ಲ","settings.section.usage-analytics":"ಬಳಕೆ ಮತ್ತು ಬಿಡಿನೋಟ‌","settings.section.worktrees":"ವರ್ಕ್‌ಟ್ರೀಗಳು","settings.threadDetail.description":"ಥ್ರೆಡ್‌ಗಳಲ್ಲಿ ಎಷ್ಟು ಕಮಾಂಡ್‌ ಔಟ್‌ಪುಟ್‌ ತೋರಿಸಬೇಕೆಂದು ಆಯ್ಕೆಮಾಡಿ","settings.threadDetail.label":"ಥ್ರೆಡ್‌ನ ವಿವರ","settings.worktrees.conversation.untitled":"ಹೆಸರಿಲ್ಲದ ಮಾತುಕತೆ","settings.worktrees.delete.error":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಅಳಿಸಲು ಆಗಲಿಲ್ಲ","settings.worktrees.empty.body":"ಕೋಡೆಕ್ಸ್‌ ಹುಟ್ಟುಹಾಕಿದ ವರ್ಕ್‌ಟ್ರೀಗಳು ಇಲ್ಲಿ ಮೂಡುತ್ತವೆ.","settings.worktrees.empty.title":"ಇನ್ನೂ ಯಾವುದೇ ವರ್ಕ್‌ಟ್ರೀಗಳಿಲ್ಲ","settings.worktrees.error.body":"ವರ್ಕ್‌ಟ್ರೀಗಳನ್ನು ಲೋಡ್ ಮಾಡುವಾಗ ಏನೋ ತಪ್ಪಾಗಿದೆ.","settings.worktrees.error.retry":"ಮರುಪ್ರಯತ್ನಿಸಿ","settings.worktrees.error.title":"ವರ್ಕ್‌ಟ್ರೀಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ","settings.worktrees.loading.body":"ವರ್ಕ್‌ಟ್ರೀ ವಿವರಗಳನ್ನು ಹುಡುಕಿ ತರಲಾಗುತ್ತಿದೆ.","settings.worktrees.loading.title":"ವರ್ಕ್‌ಟ್ರೀಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ","settings.worktrees.repository.loading":"ರಿಪಾಸಿಟರಿ ಮೆಟಾಡೇಟಾ ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","settings.worktrees.repository.unknown":"ತಿಳಿಯದ ರಿಪಾಸಿಟರಿ","settings.worktrees.row.conversations":"ಸಂಭಾಷಣೆಗಳು","settings.worktrees.row.conversations.empty":"ಈ ವರ್ಕ್‌ಟ್ರೀಗೆ ಮಾತುಕತೆಗಳು ಲಿಂಕ್‌ ಆಗಿಲ್ಲ.","settings.worktrees.row.conversations.loading":"ಸಂಭಾಷಣೆಯನ್ನು ಅನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","settings.worktrees.row.delete":"ಡಿಲೀಟ್ ಮಾಡಿ","settings.worktrees.row.title":"ವರ್ಕ್‌ಟ್ರೀ","sidebarElectron.addWorkspaceRoot":"ಹೊಸ ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","sidebarElectron.archiveThread":"ಥ್ರೆಡ್‌ ಆರ್ಕೈವ್ ಮಾಡಿ","sidebarElectron.archiveThreadError":"ಥ್ರೆಡ್‌ ಆರ್ಕೈವ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","sidebarElectron.collapseFolder":"ಫೋಲ್ಡರ್ ಮಡಚಿ","sidebarElectron.createStableWorktree":"ಶಾಶ್ವತ ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಿ","sidebarElectron.createStableWorktree.dialog.ariaLabel":"ಪ್ರಾಜೆಕ್ಟ್ ಹೆಸರು","sidebarElectron.createStableWorktree.dialog.cancel":"ರದ್ದುಮಾಡಿ","sidebarElectron.createStableWorktree.dialog.create":"ಹುಟ್ಟುಹಾಕಿ","sidebarElectron.createStableWorktree.dialog.placeholder":"ಪ್ರಾಜೆಕ್ಟ್ ಹೆಸರು","sidebarElectron.createStableWorktree.dialog.subtitle":"HEAD ನಿಂದ ಹೊಸ git ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಿ, ಅದನ್ನು ಪ್ರಾಜೆಕ್ಟ್‌ ಆಗಿ ಸೇರಿಸಿ, ಮತ್ತು ನೀವು ಅದನ್ನು ತೆಗೆದುಹಾಕುವ ತನಕ ಇಟ್ಟುಕೊಳ್ಳಿ.","sidebarElectron.createStableWorktree.dialog.title":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಿ ಮತ್ತು ಅದನ್ನು ಪ್ರಾಜೆಕ್ಟ್‌ ಆಗಿ ಉಳಿಸಿ","sidebarElectron.createStableWorktree.error":"ಶಾಶ್ವತ ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಲು ಆಗಲಿಲ್ಲ: {message}","sidebarElectron.debugNavLink":"ಡೀಬಗ್","sidebarElectron.editWorkspaceRootOptionName":"ಹೆಸರು ತಿದ್ದಿ","sidebarElectron.expandFolder":"ಫೋಲ್ಡರ್ ಹಿಗ್ಗಿಸಿ","sidebarElectron.groupByMenu.recency":"ಹೊತ್ತೋರಣದ ಪಟ್ಟಿ","sidebarElectron.groupByMenu.title":"ಅಣಿಗೊಳಿಸಿ","sidebarElectron.groupByMenu.workspace":"ಪ್ರಾಜೆಕ್ಟ್‌ನಿಂದ","sidebarElectron.inboxRouteNavLink":"ತನ್ನಡೆತಗಳು","sidebarElectron.markThreadUnread":"ಓದದಂತೆ ಗುರುತುಹಾಕು","sidebarElectron.missingWorkspaceRoot":"ಈ ಪ್ರಾಜೆಕ್ಟ್‌ ಫೋಲ್ಡರ್‌ ಅನ್ನು ಅಳಿಸಲಾಗಿದೆ ಇಲ್ಲವೇ ಕದಲಿಸಲಾಗಿದೆ","sidebarElectron.newThread":"ಹೊಸ ಥ್ರೆಡ್‌","sidebarElectron.newThreadInGroup":"{folder} ನಲ್ಲಿ ಹೊಸ ಥ್ರೆಡ್ ಆರಂಭಿಸಿ","sidebarElectron.noRecentThreads":"ಇತ್ತೀಚಿನ ಥ್ರೆಡ್‌ಗಳಿಲ್ಲ","sidebarElectron.noTasks":"ಯಾವುದೇ ಥ್ರೆಡ್‌ಗಳಿಲ್ಲ","sidebarElectron.noTasks.start":"ಹೊಸ ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","sidebarElectron.noTasksWithFilter":"ಫಿಲ್ಟರ್‌ಗಳಿಗೆ ಹೊಂದುವ ಥ್ರೆಡ್‌ಗಳಿಲ್ಲ","sidebarElectron.pinnedThreads":"ಸಿಕ್ಕಿಸಿದ ಥ್ರೆಡ್‌ಗಳು","sidebarElectron.recentNavLink":"ಥ್ರೆಡ್‌ಗಳು","sidebarElectron.recentThreads":"ಇತ್ತೀಚಿನ ಥ್ರೆಡ್‌ಗಳು","sidebarElectron.removeWorkspaceRootOption":"ರಿಮೂವ್ ಮಾಡಿ","sidebarElectron.renameThread":"ಥ್ರೆಡ್‌ ಮರುಹೆಸರಿಸಿ","sidebarElectron.renameThreadDialogAriaLabel":"ಥ್ರೆಡ್‌ ಹೆಸರು","sidebarElectron.renameThreadDialogCancel":"ರದ್ದುಮಾಡಿ","sidebarElectron.renameThreadDialogPlaceholder":"ಹೆಸರು ಸೇರಿಸಿ...","sidebarElectron.renameThreadDialogSave":"ಸೇವ್ ಮಾಡಿ","sidebarElectron.renameThreadDialogSubtitle":"ಚಿಕ್ಕದಾಗಿ ಗುರುತಿಸಬಲ್ಲ ಹಾಗೆ ಇಡಿ.","sidebarElectron.renameThreadDialogTitle":"ಥ್ರೆಡ್‌ ಮರುಹೆಸರಿಸಿ","sidebarElectron.renameThreadError":"ಥ್ರೆಡ್‌ ಮರುಹೆಸರಿಸಲು ಆಗಲಿಲ್ಲ","sidebarElectron.renameWorkspaceRootOptionLabel":"ಡಿಸ್‌ಪ್ಲೇ ಹೆಸರು","sidebarElectron.showLess":"ಕಡಿಮೆ ತೋರಿಸಿ","sidebarElectron.showMenu.all":"ಎಲ್ಲಾ ಥ್ರೆಡ್‌ಗಳು","sidebarElectron.showMenu.relevant":"ಸಂಬಂಧಿಸಿದ","sidebarElectron.showMenu.relevantHint":"ನಿಮ್ಮ ಗಮನ ಬೇಡುತ್ತಿರುವ ಈಗಿನ ಕವಲು, ವರ್ಕ್‌ಟ್ರೀಗಳು ಇಲ್ಲವೇ ಬೇರೆ ಥ್ರೆಡ್‌ಗಳಿಗಾಗಿ ಬರೀ ಇತ್ತೀಚಿನ ಥ್ರೆಡ್‌ಗಳನ್ನು ತೋರಿಸಿ","sidebarElectron.showMenu.title":"ತೋರಿಸಿ","sidebarElectron.showMenu.tooltip":"ಥ್ರೆಡ್‌ಗಳನ್ನು ಫಿಲ್ಟರ್‌ ಮಾಡಿ, ಬೇರ್ಪಡಿಸಿ ಮತ್ತು ಅಣಿಗೊಳಿಸಿ","sidebarElectron.showMenu.trigger":"ಸೈಡ್‌ಬಾರ್‌ ಥ್ರೆಡ್‌ಗಳನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿ","sidebarElectron.showMore":"ಇನ್ನಷ್ಟು ತೋರಿಸು","sidebarElectron.skillsAppsRouteNavLink":"ಸ್ಕಿಲ್‌ಗಳು ಮತ್ತು ಆಪ್‌ಗಳು","sidebarElectron.skillsRouteNavLink":"ಸ್ಕಿಲ್ಸ್","sidebarElectron.sortMenu.created":"ಕ್ರಿಯೇಟ್ ಮಾಡಿದ್ದು","sidebarElectron.sortMenu.title":"ಬೇರ್ಪಡಿಸಿ","sidebarElectron.sortMenu.updated":"ಅಪ್ಡೇಟ್ ಮಾಡಲಾಗಿದೆ","sidebarElectron.taskNavigation":"ತನ್ನಡೆತ ಫೋಲ್ಡರ್‌ಗಳು","sidebarElectron.tasksInFolder":"{folder} ನಲ್ಲಿರುವ ತನ್ನಡೆತಗಳು","sidebarElectron.workspaceOptions":"{folder} ಗೆ ಪ್ರಾಜೆಕ್ಟ್ ಕ್ರಮಗಳು","sidebarElectron.worktreeGroupTooltip":"ಇದು git ವರ್ಕ್‌ಟ್ರೀ ಆಗಿದೆ","skills.appsPage.apps.enableToggle":"ಆಪ್‌ ಎನೇಬಲ್ ಮಾಡಿ","skills.appsPage.apps.installOnChatGpt":"ChatGPT ಯಲ್ಲಿ ಅಳವಡಿಸಿ","skills.appsPage.apps.manageOnChatGpt":"ChatGPT ಯಲ್ಲಿ ನಿರ್ವಹಿಸಿ","skills.appsPage.apps.noDescription":"ಬಣ್ಣನೆಯಿಲ್ಲ","skills.appsPage.createSkill":"ಹೊಸ ಸ್ಕಿಲ್","skills.appsPage.empty.apps":"ಆಪ್‌ಗಳು ಕಂಡುಬರಲಿಲ್ಲ","skills.appsPage.empty.discoverApps":"ಕಂಡುಹಿಡಿಯಲು ಆಪ್‌ಗಳಿಲ್ಲ","skills.appsPage.empty.installedApps":"ನೆಲೆಗೊಳಿಸಿದ ಆಪ್‌ಗಳಿಲ್ಲ","skills.appsPage.empty.skills":"ಸ್ಕಿಲ್‌ಗಳು ಕಂಡುಬಂದಿಲ್ಲ","skills.appsPage.heading":"ಸ್ಕಿಲ್‌ಗಳು ಮತ್ತು ಆಪ್‌ಗಳು","skills.appsPage.search.all":"ಸ್ಕಿಲ್‌ಗಳು ಮತ್ತು ಆಪ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.search.all.label":"ಸ್ಕಿಲ್‌ಗಳು ಮತ್ತು ಆಪ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.search.apps":"ಆಪ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.search.apps.label":"ಆಪ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.search.skills":"ಸ್ಕಿಲ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.search.skills.label":"ಸ್ಕಿಲ್‌ಗಳನ್ನು ಹುಡುಕಿ","skills.appsPage.section.apps":"ಆಪ್‌ಗಳು","skills.appsPage.section.apps.seeAll":"ಎಲ್ಲಾ {count} ಆಪ್‌ಗಳನ್ನು ನೋಡಿ","skills.appsPage.section.discover":"ಕಂಡುಹಿಡಿಯಿರಿ","skills.appsPage.section.installedApps":"ಅಳವಡಿಸಲಾಗಿದೆ","skills.appsPage.section.skills":"ಸ್ಕಿಲ್‌ಗಳು","skills.appsPage.section.skills.seeAll":"ಎಲ್ಲಾ {count} ಸ್ಕಿಲ್‌ಗಳನ್ನು ನೋಡಿ","skills.appsPage.subheading":"Codex ಗೆ ಸೂಪರ್‌ಪವರ್‌ಗಳನ್ನು ನೀಡಿ. <link>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</link>","skills.appsPage.tab.apps":"ಆಪ್‌ಗಳು","skills.appsPage.tab.recommended":"ಶಿಫಾರಸು ಮಾಡಲಾಗಿದೆ","skills.appsPage.tab.skills":"ಸ್ಕಿಲ್‌ಗಳು","skills.card.contentsError":"ಸ್ಕಿಲ್ ಕಾಂಟೆಂಟ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗುತ್ತಿಲ್ಲ.","skills.card.disable":"ಡಿಸೇಬಲ್ ಮಾಡಿ","skills.card.disableSuccess":"{skillName} ಕೌಶಲ್ಯ ನಿಷ್ಕ್ರಿಯಗೊಳಿಸಲಾಗಿದೆ","skills.card.disabledBadge":"ಡಿಸೇಬಲ್ ಮಾಡಲಾಗಿದೆ","skills.card.enable":"ಎನೇಬಲ್ ಮಾಡಿ","skills.card.enableSuccess":"{skillName} ಕೌಶಲ್ಯ ಸಕ್ರಿಯಗೊಳಿಸಲಾಗಿದೆ","skills.card.loadingContents":"ಸ್ಕಿಲ್ ಕಾಂಟೆಂಟ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","skills.card.more":"ಹೆಚ್ಚಿನ ಅಕ್ಷನ್ಸ್","skills.card.open":"ತೆರೆಯಿರಿ","skills.card.removeFailed":"ಸ್ಕಿಲ್ ಅನ್‌ಇನ್‌ಸ್ಟಾಲ್ ಮಾಡುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ","skills.card.removeSuccess":"{skillName}ಕೌಶಲ್ಯವನ್ನು ಅನ್‌ಇನ್‌ಸ್ಟಾಲ್ ಮಾಡಲಾಗಿದೆ","skills.card.toggleEnabledError":"ಸ್ಕಿಲ್‌ ಅಪ್‌ಡೇಟ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ","skills.card.try":"ಪ್ರಯತ್ನಿಸಿ","skills.card.trySkill":"ಸ್ಕಿಲ್‌ ಬಳಸಿ ನೋಡಿ","skills.card.uninstall":"ಅನ್‌ಇನ್‌ಸ್ಟಾಲ್ ಮಾಡಿ","skills.hero.dotLabel":"ಸ್ಲೈಡ್ {index} ಕ್ಕೆ ಹೋಗಿ","skills.hero.next":"ಮುಂದಿನ ವಿಶೇಷವಾದ ಸ್ಕಿಲ್‌","skills.hero.trySkill":"ಸ್ಕಿಲ್‌ ಬಳಸಿ ನೋಡಿ","skills.page.createSkill":"ಹೊಸ ಸ್ಕಿಲ್","skills.page.empty":"ಸ್ಕಿಲ್ಸ್ ಕಂಡುಬಂದಿಲ್ಲ","skills.page.filteredEmpty":"ನಿಮ್ಮ ಫಿಲ್ಟರ್‌ಗಳಿಗೆ ಸರಿಹೊಂದುವ ಸ್ಕಿಲ್‌ಗಳಿಲ್ಲ","skills.page.filteredEmptyDescription":"ನಿಮ್ಮ ಹುಡುಕಾಟ ಇಲ್ಲವೇ ಸ್ಕೋಪ್‌ ಫಿಲ್ಟರ್‌ಗಳನ್ನು ಸರಿದೂಗಿಸಿ ನೋಡಿ","skills.page.heading":"ಸ್ಕಿಲ್‌ಗಳು","skills.page.loading":"ಸ್ಕಿಲ್ಸ್ ಅನ್ನು ಲೋಡ್ ಮಾಡಲಾಗುತ್ತಿದೆ...","skills.page.refreshSkills":"ರಿಫ್ರೆಶ್ ಮಾಡಿ","skills.page.refreshSkillsToUseNew":"ಹೊಸ ಸ್ಕಿಲ್‌(ಗಳನ್ನು) ರಿಫ್ರೆಶ್ ಮಾಡಿ","skills.page.search":"ಸ್ಕಿಲ್ಸ್ ಸರ್ಚ್ ಮಾಡಿ","skills.page.search.label":"ಸ್ಕಿಲ್ಸ್ ಸರ್ಚ್ ಮಾಡಿ","skills.page.subheading":"ಕೋಡೆಕ್ಸ್‌ಗೆ ಸೂಪರ್‌ಪವರ್‌ಗಳನ್ನು ನೀಡಿ. <link>ಇನ್ನಷ್ಟು ತಿಳಿಯಿರಿ</link>","skills.preview.copyPrompt":"ಪ್ರಾಂಪ್ಟ್ ಕಾಪಿ ಮಾಡಿ","skills.preview.examplePrompt":"ಉದಾಹರಣೆ ಪ್ರಾಂಪ್ಟ್","skills.recommended.error":"ಶಿಫಾರಸು ಮಾಡಲಾದ ಸ್ಕಿಲ್‌ಗಳನ್ನು ಲೋಡ್‌ ಮಾಡಲು ಆಗಲಿಲ್ಲ","skills.recommended.install":"ಇನ್ಸ್ಟಾಲ್ ಮಾಡಿ","skills.recommended.installSkill":"ಸ್ಕಿಲ್‌ ಅಳವಡಿಸಿ","skills.recommended.installSuccess":"{skillName} ಕೌಶಲ್ಯ ಇನ್ಸ್ಟಾಲ್ ಮಾಡಲಾಗಿದೆ","skills.recommended.installed":"ಇನ್ಸ್ಟಾಲ್ ಮಾಡಲಾಗಿದೆ","skills.scope.admin":"ಅಡ್ಮಿನ್‌","skills.scope.adminInstalled":"ಅಡ್ಮಿನ್‌ ಅಳವಡಿಸಿದ","skills.scope.builtIn":"ಸಿಸ್ಟಮ್","skills.scope.personal":"ಪರ್ಸನಲ್","skills.scope.repo":"ರೆಪೊ","skills.scope.system":"ಸಿಸ್ಟಮ್","skills.scope.team":"ಟೀಮ್","skills.scope.user":"ಯೂಸರ್","skills.section.installed":"ಇನ್ಸ್ಟಾಲ್ ಮಾಡಲಾಗಿದೆ","skills.section.recommended":"ಶಿಫಾರಸು ಮಾಡಲಾಗಿದೆ","story.slidingToggle.existing":"ಈಗ ಇರುವ","story.slidingToggle.fromLocal":"ಸ್ಥಳೀಯದಿಂದ","story.slidingToggle.new":"ಹೊಸ","story.slidingToggle.toLocal":"ಸ್ಥಳೀಯಕ್ಕೆ","terminal.close":"ಟರ್ಮಿನಲ್ ಮುಚ್ಚಿ","terminal.title":"ಟರ್ಮಿನಲ್","thinkingShimmer.default":"ಥಿಂಕ್ ಮಾಡುತ್ತಿದೆ","threadEnvIcon.cloudTooltip":"ಈ ಮಾತುಕತೆ ಕೋಡೆಕ್ಸ್‌ ಕ್ಲೌಡ್‌ನಲ್ಲಿ ನಡೆಯುತ್ತಿದೆ.","threadEnvIcon.localTooltip":"ಈ ಮಾತುಕತೆ ಸ್ಥಳೀಯವಾಗಿ ನಡೆಯುತ್ತಿದೆ.","threadEnvIcon.worktreeTooltip":"ಈ ಕಾನ್ವರ್ಸೆಷನ್ ನ ಸ್ಥಳೀಯ git ವರ್ಕ್‌ಟ್ರೀನಲ್ಲಿ ನಡೆಯುತ್ತಿದೆ.","threadHeader.archiveConfirmCancel":"ರದ್ದುಮಾಡಿ","threadHeader.archiveConfirmConfirm":"ಆರ್ಕೈವ್","threadHeader.archiveConfirmSubtitle":"ನೀವು ಅದನ್ನು ನಿಮ್ಮ ಆರ್ಕೈವ್‌ ಮಾಡಿದ ಥ್ರೆಡ್‌ಗಳಲ್ಲಿ ಆಮೇಲೆ ಪಡೆಯಬಹುದು.","threadHeader.archiveConfirmTitle":"ಥ್ರೆಡ್‌ ಆರ್ಕೈವ್ ಮಾಡಬೇಕೇ?","threadHeader.copyAppLink":"ಡೀಪ್‌ಲಿಂಕ್‌ ಕಾಪಿ ಮಾಡಿ","threadHeader.copySessionId":"ಸೆಶನ್‌ ID ಕಾಪಿ ಮಾಡಿ","threadHeader.copyWorkingDirectory":"ಕೆಲಸಮಾಡುವ ಡೈರೆಕ್ಟರಿ ಕಾಪಿ ಮಾಡಿ","threadHeader.forkIntoLocal":"ಸ್ಥಳೀಯಕ್ಕೆ ವಿಭಜನೆ ಮಾಡಿ","threadHeader.forkIntoWorktree":"ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಗೆ ವಿಭಜನೆ ಮಾಡಿ.","threadHeader.forkPendingWorktreePrompt":"ಈ ಸಂಭಾಷಣೆಯನ್ನು ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಗೆ ವಿಭಜನೆ ಮಾಡಿ.","threadHeader.forkPendingWorktreeTitle":"ವಿಭಜಿಸಲಾದ ಸಂಭಾಷಣೆ","threadHeader.forkThreadError":"ಥ್ರೆಡ್ ಅನ್ನು ವಿಭಜಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ.","threadHeader.forkThreadRequiresGitRepo":"ಹೊಸ ವರ್ಕ್‌ಟ್ರೀಗೆ ವಿಭಜನೆ ಮಾಡಲು Git ರೆಪೊಸಿಟರಿ ಅಗತ್ಯವಿದೆ.","threadHeader.moreActions":"ಥ್ರೆಡ್‌ನ ಕ್ರಮಗಳು","threadPage.newThread":"ಹೊಸ ಥ್ರೆಡ್‌","threadPage.runAction.changeEnvironment":"ಪರಿಸರವನ್ನು ಬದಲಾಯಿಸಿ","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} ಕ್ರಿಯೆಗಳು","threadPage.runAction.environmentSelector.label":"ಪರಿಸರವನ್ನು ಆಯ್ಕೆ ಮಾಡಿ","threadPage.runAction.label":"ರನ್ ಮಾಡಿ","threadPage.runAction.missing.label":"run ಆಕ್ಶನ್‌ ನೆಲೆಗೊಳಿಸಿ","threadPage.runAction.setup.commandLabel":"ಎಸಗಲು ಕಮಾಂಡ್‌‌","threadPage.runAction.setup.description":"ಅವಲಂಬನೆಗಳನ್ನು ಹೇಗೆ ಅಳವಡಿಸಬೇಕೆಂದು ಕೋಡೆಕ್ಸ್‌ಗೆ ಹೇಳಿ ಮತ್ತು ನಿಮ್ಮ ಆಪ್‌ ಆರಂಭಿಸಿ.","threadPage.runAction.setup.editMore":"ಪರಿಸರ ಸೆಟಿಂಗ್‌ಗಳು","threadPage.runAction.setup.placeholder":"ಉದಾ: npm install npm run","threadPage.runAction.setup.submit":"ಉಳಿಸಿ ಮತ್ತು ಎಸಗಿ","threadPage.runAction.setup.title":"ರನ್ ಮಾಡಿ","threadPage.runAction.tooltip.withEnvironment":"{environmentName} ಕ್ರಿಯೆಗಳು","threadPage.toggleDiffPanel":"diff ಪ್ಯಾನಲ್‌ ಟಾಗಲ್ ಮಾಡಿ‌","threadPage.toggleTerminal":"ಟರ್ಮಿನಲ್ ಟಾಗಲ್‌","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ಫೋಲ್ಡರ್ ತೆರೆಯಿರಿ","toolSummaryForCmd.exploredFiles":"<verb>ಪಟ್ಟಿಮಾಡಲಾದ</verb> ಫೈಲ್‌ಗಳು","toolSummaryForCmd.exploredFilesInPath":"{path} ನಲ್ಲಿ <verb>ಪಟ್ಟಿಮಾಡಲಾದ</verb> ಫೈಲ್‌ಗಳು","toolSummaryForCmd.exploringFiles":"ಫೈಲ್‌ಗಳನ್ನು <verb>ಪಟ್ಟಿಮಾಡಲಾಗುತ್ತಿದೆ</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} ನಲ್ಲಿ ಫೈಲ್‌ಗಳನ್ನು <verb>ಪಟ್ಟಿಮಾಡಲಾಗುತ್ತಿದೆ</verb>","toolSummaryForCmd.finishedBackgroundTerminal":"ಹಿನ್ನೆಲೆ ಟರ್ಮಿನಲ್‌ ಮುಗಿದಿದೆ","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"ಹಿನ್ನೆಲೆ ಟರ್ಮಿನಲ್‌ {command} ನೊಂದಿಗೆ ಮುಗಿದಿದೆ","toolSummaryForCmd.ranGenericCommand":"<status>ಕಮಾಂಡ್ ರನ್ ಮಾಡಲಾಗಿದೆ</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"{command}{timer} <status>ಎಸಗಲಾಯಿತು</status>","toolSummaryForCmd.read":"{path} <verb>ಓದಿ</verb>","toolSummaryForCmd.runningGenericCommand":"<status>ಕಮಾಂಡ್ ರನ್ ಮಾಡಲಾಗುತ್ತಿದೆ</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} ಕ್ಕಾಗಿ","toolSummaryForCmd.searchedFor":"{query} ಅನ್ನು <verb>ಹುಡುಕಲಾಯಿತು</verb>","toolSummaryForCmd.searchedForFiles":"ಫೈಲ್‌ಗಳಿಗಾಗಿ <verb>ಹುಡುಕಲಾಯಿತು</verb>","toolSummaryForCmd.searchedForInPath":"{path} ನಲ್ಲಿ {query} ಅನ್ನು <verb>ಹುಡುಕಲಾಯಿತು</verb>","toolSummaryForCmd.searchingFor":"{query} ಅನ್ನು <verb>ಹುಡುಕಲಾಗುತ್ತಿದೆ</verb>","toolSummaryForCmd.searchingForFiles":"ಫೈಲ್‌ಗಳಿಗಾಗಿ <verb>ಹುಡುಕಲಾಗುತ್ತಿದೆ</verb>","toolSummaryForCmd.searchingForInPath":"{path} ನಲ್ಲಿ {query} ಅನ್ನು <verb>ಹುಡುಕಲಾಗುತ್ತಿದೆ</verb>","toolSummaryForCmd.startedBackgroundTerminal":"ಹಿನ್ನೆಲೆ ಟರ್ಮಿನಲ್ ಅನ್ನು ಆರಂಭಿಸಲಾಗಿದೆ","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"ಹಿನ್ನೆಲೆ ಟರ್ಮಿನಲ್ ಅನ್ನು {command} ನೊಂದಿಗೆ ಆರಂಭಿಸಲಾಗಿದೆ","traceRecording.details.noteLabel":"ಇದು ನಡೆದಾಗ ನೀವೇನು ಮಾಡುತ್ತಿದ್ದಿರಿ? (ಕಡ್ಡಾಯವಲ್ಲ)","traceRecording.details.notePlaceholder":"ದೊಡ್ಡ ಥ್ರೆಡ್‌ಗೆ ನ್ಯಾವಿಗೇಟ್ ಮಾಡಲಾಗಿದೆ, ನಂತರ ಟ್ಯಾಬ್‌ಗಳನ್ನು ಪದೇ ಪದೇ ಬದಲಾಯಿಸಲಾಗಿದೆ...","traceRecording.details.submit":"ಕುರುಹು ಕಳುಹಿಸಿ","traceRecording.details.subtitle":"ಕಾರ್ಯಕ್ಷಮತೆಯ ಸಮಸ್ಯೆಗಳನ್ನು ಪತ್ತೆಹಚ್ಚಲು ಸಹಾಯ ಮಾಡಲು ನಾವು ಈ ಪ್ರೊಫೈಲ್ ಟ್ರೇಸ್ ಅನ್ನು ಕಳುಹಿಸಬಹುದು.","traceRecording.details.title":"ಪ್ರೊಫೈಲ್‌ ಕುರುಹು ಕಳುಹಿಸಬೇಕೇ?","traceRecording.progress.subtitle":"ಇದು ಮುಗಿಯುವಾಗ ಕೋಡೆಕ್ಸ್‌ ತೆರೆದಿಟ್ಟುಕೊಳ್ಳಿ.","traceRecording.saving.title":"ಕುರುಹು ಉಳಿಸಲಾಗುತ್ತಿದೆ...","traceRecording.startDetails.cancel":"ರದ್ದುಮಾಡಿ","traceRecording.startDetails.submit":"ಸರಿ, ರೆಕಾರ್ಡಿಂಗ್ ಆರಂಭಿಸಿ","traceRecording.startDetails.subtitle":"ನೀವು ಸರಿ ಕ್ಲಿಕ್ ಮಾಡಿದ ನಂತರ, ಕಾರ್ಯಕ್ಷಮತೆಯ ಸಮಸ್ಯೆಯನ್ನು ಪುನರುತ್ಪಾದಿಸಿ, ನಂತರ ಟ್ರೇಸ್ ಅನ್ನು ನಿಲ್ಲಿಸಲು ಮತ್ತು ಪರಿಶೀಲಿಸಲು ತೇಲುವ ಕೆಂಪು ಸೂಚಕವನ್ನು ಕ್ಲಿಕ್ ಮಾಡಿ.","traceRecording.startDetails.title":"ಕುರುಹು ರೆಕಾರ್ಡಿಂಗ್‌ ಹೇಗೆ ಕೆಲಸ ಮಾಡುತ್ತದೆ","traceRecording.stopButton.ariaLabel":"ಕುರುಹು ರೆಕಾರ್ಡಿಂಗ್ ನಿಲ್ಲಿಸಿ","traceRecording.upload.successToast":"ಪ್ರೊಫೈಲ್‌ ಕುರುಹು ಕಳುಹಿಸಲಾಗಿದೆ.","traceRecording.uploading.title":"ಕುರುಹು ಅಪ್ಲೋಡ್‌ ಮಾಡಲಾಗುತ್ತಿದೆ...","wham.diff.addComment":"ಕಾಮೆಂಟ್ ಸೇರಿಸಿ","wham.diff.binaryFile":"ಬೈನರಿ ಫೈಲ್ ತೋರಿಸಲಾಗಿಲ್ಲ.","wham.diff.noContent":"ಕಂಟೆಂಟ್ ಇಲ್ಲ","wham.fileTag.deleted":"ಡಿಲೀಟ್ ಮಾಡಲಾಗಿದೆ","wham.fileTag.new":"ಹೊಸ","wham.formattedRelativeDateTime.compactDaysAgo":"{value}ದಿನ","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}ತಿಂಗಳು","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}ವಾರ","wham.formattedRelativeDateTime.compactYearsAgo":"{value}ವರ್ಷ","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"ನಿಮ್ಮ ಟಾಸ್ಕ್ ಅನ್ನು ಮಾಡುತ್ತಿದ್ದೀನಿ","wham.whamProposedTask.title":"ಸೂಚಿಸಲಾದ ಟಾಸ್ಕ್","wham.whamProposedTask.useSuggestion":"ಸಲಹೆ ಬಳಸಿ","workspaceRootDialog.addError":"ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಲು ಆಗಲಿಲ್ಲ","workspaceRootDialog.cancel":"ರದ್ದುಮಾಡಿ","workspaceRootDialog.confirmAdd":"ಪ್ರಾಜೆಕ್ಟ್ ಸೇರಿಸಿ","workspaceRootDialog.confirmPick":"ಪ್ರಾಜೆಕ್ಟ್ ಬಳಸಿ","workspaceRootDialog.description":"ಪ್ರಾಜೆಕ್ಟ್ ಆಗಿ ಬಳಸಲು {host} ನಲ್ಲಿ ದಾರಿ ಬರೆಯಿರಿ.","workspaceRootDialog.pathLabel":"ಪ್ರಾಜೆಕ್ಟ್ ದಾರಿ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"ಪ್ರಾಜೆಕ್ಟ್ ದಾರಿ ಸೇರಿಸಿ","workspaceRootDialog.title.pick":"ಪ್ರಾಜೆಕ್ಟ್ ದಾರಿ ಆಯ್ಕೆಮಾಡಿ","worktreeInitV2.cancel":"ರದ್ದುಮಾಡಿ","worktreeInitV2.notification.failedTitle":"ವರ್ಕ್‌ಟ್ರೀ ನೆಲೆಗೊಳಿಕೆ ಆಗಲಿಲ್ಲ","worktreeInitV2.output.empty":"ಔಟ್‌ಪುಟ್‌ಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ...","worktreeInitV2.status.error":"ವರ್ಕ್‌ಟ್ರೀ ನೆಲೆಗೊಳಿಕೆ ಆಗಲಿಲ್ಲ.","worktreeInitV2.status.running":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ ಮತ್ತು ನೆಲೆಗೊಳಿಕೆ ನಡೆಸಲಾಗುತ್ತಿದೆ.","worktreeInitV2.status.runningFork":"ಈ ಸಂಭಾಷಣೆಯನ್ನು ವಿಭಜಿಸಲು ಹೊಸ ವರ್ಕ್‌ಟ್ರೀ ನಿರ್ಮಿಸಲಾಗುತ್ತಿದೆ.","worktreeInitV2.status.success":"ವರ್ಕ್‌ಟ್ರೀ ಅಣಿಯಾಗಿದೆ","worktreeInitV2.title":"ವರ್ಕ್‌ಟ್ರೀ ಹುಟ್ಟುಹಾಕಲಾಗುತ್ತಿದೆ","worktreeInitV2.workLocallyInstead":"ಬದಲಿಗೆ ಸ್ಥಳೀಯವಾಗಿ ಕೆಲಸ ಮಾಡಿ","worktreeRestoreBanner.body":"ಡಿಸ್ಕ್ ಜಾಗವನ್ನು ಉಳಿಸಲು ಈ ಥ್ರೆಡ್‌ನ ವರ್ಕ್‌ಟ್ರೀ ಅನ್ನು ತೆಗೆದುಹಾಕಲಾಗಿದೆ.","worktreeRestoreBanner.missing.body":"ಈ ಥ್ರೆಡ್‌ನ ಕೆಲಸದ ಡೈರೆಕ್ಟರಿ ಈಗ ಇಲ್ಲ.","worktreeRestoreBanner.missing.title":"ಈಗಿನ ಕೆಲಸದ ಡೈರೆಕ್ಟರಿ ಕಾಣೆಯಾಗಿದೆ","worktreeRestoreBanner.restore.error":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಮರುಸ್ಥಾಪಿಸುವಲ್ಲಿ ವಿಫಲವಾಗಿದೆ: {message}","worktreeRestoreBanner.restore.success":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಮರುಸ್ಥಾಪಿಸಲಾಗಿದೆ","worktreeRestoreBanner.restoreCta":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಮರುಸ್ಥಾಪಿಸಿ","worktreeRestoreBanner.title":"ವರ್ಕ್‌ಟ್ರೀಯನ್ನು ಸ್ವಚ್ಛಗೊಳಿಸಲಾಗಿದೆ"};Object.assign(e,globalThis.codexI18nOverrides?.["kn-IN"]);export{e as default};
 //# sourceMappingURL=kn-IN-CBhn6MQZ.js.map
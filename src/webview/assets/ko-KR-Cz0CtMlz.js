@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"복사","app.sidebar.hide":"사이드바 숨기기","app.sidebar.show":"사이드바 보기","app.sidebar.tooltip":"사이드바 토글","appHeader.installUpdate":"업데이트","appSunset.body":"앱의 이 버전은 더 이상 지원되지 않습니다. 최신 버전을 <here>여기</here>서 다운로드하세요.","appSunset.title":"업데이트 필요","automation.updateDirective.create":"만들기","automation.updateDirective.open":"열기","automation.updateDirective.untitled":"제목 없는 자동화","automation.updateDirective.update":"업데이트","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {#번의 시도}}","cloudTaskRow.archiveError":"작업을 아카이브에 보관하지 못했습니다","code.diff.requestChange":"변경 사항 요청","code.diffComment.cancel":"취소","code.diffComment.comment":"댓글","code.diffComment.delete":"삭제","code.diffComment.save":"저장","codeReviewAssistant.location":"{file}:{start}~{end}","codeReviewAssistant.noFindings":"보고된 결과가 없습니다.","codex.alert.closeAriaLabel":"닫기","codex.appUpsellBanner.cbpApi.message":"Codex 앱으로 더 빠르게 코딩하세요. 지금 다운로드하거나 {learnMoreLink}.","codex.appUpsellBanner.download":"다운로드","codex.appUpsellBanner.freeGo.message":"3월 2일까지 플랜에 Codex가 포함됩니다. Codex 앱으로 더 빠르게 코딩하세요.","codex.appUpsellBanner.later":"나중에","codex.appUpsellBanner.learnMoreLowercase":"자세히 알아보기","codex.appUpsellBanner.new":"신규","codex.appUpsellBanner.proPlusBusiness.message":"4월 2일까지 Codex 앱을 2배의 요금 한도로 써 보세요. 지금 다운로드하거나 {learnMoreLink}.","codex.appUpsellBanner.title":"Codex 앱","codex.applyDropdown.header.changes":"개의 변경 사항","codex.applyDropdown.header.fileCount":"{count, plural, other {#개의 파일}}","codex.applyDropdown.header.rows":"개의 행","codex.applyDropdown.header.title":"변경 사항 적용","codex.applyDropdown.header.workspace":"프로젝트","codex.applyDropdown.results.conflicted":"{count, plural, other {{count}개의 파일 충돌:}}","codex.applyDropdown.results.empty":"복사된 파일이 없습니다","codex.applyDropdown.results.skipped":"{count, plural, other {{count}개의 파일 건너뜀:}}","codex.applyOrRevertBanner.apply":"적용","codex.applyOrRevertBanner.applyMessage":"변경 사항을 적용하고 로컬로 계속할까요?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"이 작업은 {environment}에서 만들어져 원활하게 적용되지 않을 수 있습니다.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"변경 사항이 {environment}에서 만들어져 원활하게 적용되지 않을 수 있습니다.","codex.applyOrRevertBanner.reapply":"다시 적용","codex.applyOrRevertBanner.revert":"되돌리기","codex.applyOrRevertBanner.revertMessage":"적용한 변경 사항을 되돌릴까요?","codex.applyResultsDialog.applied":"원활하게 적용됨 ({count})","codex.applyResultsDialog.close":"닫기","codex.applyResultsDialog.conflicted":"충돌 발생 ({count})","codex.applyResultsDialog.noDetails":"사용 가능한 파일 세부 정보 없음.","codex.applyResultsDialog.skipped":"건너뜀 ({count})","codex.applyResultsDialog.title":"결과 적용하기","codex.archiveInfo":"{dataControlsLink}에서 아카이브에 보관된 채팅을 봅니다.","codex.archiveInfo.dataControlsLink":"데이터 제어","codex.archiveInfo.electron":"{settingsLink}에서 아카이브에 보관된 채팅을 봅니다","codex.archiveInfo.extension":"사용자 .codex 폴더에서 아카이브에 보관된 채팅을 봅니다.","codex.archiveInfo.settingsLink":"설정","codex.banner.content.description":"작업을 병행 실행하고, 어디서나 진행도를 확인하고, AI로 PR을 검토하세요.","codex.banner.content.headline":"Codex는 이걸 다 합니다.","codex.cloudTaskRow.archiveTask":"작업을 아카이브에 보관","codex.cloudTaskRow.confirmArchiveTask":"확인","codex.command.feedback":"피드백","codex.command.findInThread":"찾기","codex.command.forceReloadSkills":"강제로 스킬 다시 불러오기","codex.command.logOut":"로그아웃","codex.command.manageTasks":"작업 관리","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"뒤로","codex.command.navigateForward":"앞으로","codex.command.newThread":"새 스레드","codex.command.nextThread":"다음 스레드","codex.command.openFolder":"폴더 열기","codex.command.openSkills":"스킬로 이동","codex.command.openThreadOverlay":"스레드 꺼내기","codex.command.personalitySettings":"성격","codex.command.previousThread":"이전 스레드","codex.command.settings":"설정","codex.command.toggleDiffPanel":"diff 패널 토글","codex.command.toggleSidebar":"사이드바 토글","codex.command.toggleTerminal":"터미널 토글","codex.commandGroup.app":"앱","codex.commandGroup.configure":"구성","codex.commandGroup.navigation":"탐색","codex.commandGroup.panels":"패널","codex.commandGroup.skills":"스킬","codex.commandGroup.thread":"스레드","codex.commandGroup.workspace":"프로젝트","codex.commandMenu.noResults":"일치 사항 없음","codex.commandMenu.searchPlaceholder":"커맨드 검색","codex.commandMenu.suggestedGroup":"제안","codex.commandMenu.switchWorkspace":"프로젝트 전환","codex.commandMenu.title":"커맨드 메뉴","codex.common.retry":"다시 시도","codex.composer.searchBranches":"브랜치 검색","codex.dialog.basic.body":"Radix Dialog에 당사 래퍼를 사용한 간단한 모달 다이얼로그입니다.","codex.dialog.basic.cancel":"취소","codex.dialog.basic.confirm":"확인","codex.dialog.basic.open":"다이얼로그 열기","codex.dialog.basic.title":"샘플 다이얼로그","codex.dialog.long.close":"닫기","codex.dialog.long.line":"다이얼로그 내 긴 내용을 보여주는 스크롤 가능한 라인 {index}","codex.dialog.long.open":"긴 다이얼로그 열기","codex.dialog.long.title":"긴 내용 다이얼로그","codex.dialog.unstyled.body":"이 스토리에서는 요청자가 대화 콘텐츠 스타일을 완전히 제어하는 방법을 보여줍니다.","codex.dialog.unstyled.open":"스타일이 없는 대화문 열기","codex.dialog.unstyled.title":"스타일이 없는 콘텐츠","codex.diff.openInEditorPrompt.openButton":"편집기에서 열기","codex.diff.openInEditorPrompt.singleLine":"이 파일이 여기 표시하기에 너무 큽니다.","codex.diffView.failedToDecodeBase64Diff":"base64 diff 디코딩을 하지 못했습니다","codex.diffView.filesChanged":"{fileCount, plural, other {#개의 파일 변경됨}}","codex.diffView.imagePreviewAlt":"이미지 미리 보기","codex.diffView.imagePreviewEmpty":"이미지 없음","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"diff 데이터 없음","codex.diffView.pdfPreview.nextPage":"다음 페이지","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"이전 페이지이지","codex.diffView.pdfPreviewEmpty":"PDF 미리 보기 없음","codex.diffView.pdfPreviewError":"PDF 미리 보기를 렌더링할 수 없습니다","codex.diffView.richPreviewDisable":"확장형 미리보기 비활성화","codex.diffView.richPreviewEnable":"확장형 미리보기 활성화","codex.diffView.richPreviewLoading":"미리 보기 불러오는 중…","codex.diffView.richPreviewToggle":"확장형 미리보기 토글","codex.diffView.switchToUnified":"통합 diff로 전환","codex.environmentSelector.noEnvironment":"환경 없음","codex.environments.environmentSettings":"환경 설정","codex.environments.learnMore":"자세히 알아보기","codex.environments.listError":"환경을 불러오지 못했습니다.","codex.environments.noEnvironmentsFound":"찾은 환경 없음","codex.environments.searchError":"검색 환경을 찾지 못했습니다.","codex.errorBoundary.genericError":"앗, 오류가 발생했습니다","codex.errorBoundary.goHome":"다시 시도하기","codex.file.patch.missing":"이 파일의 패치를 만들 수 없습니다.","codex.gallery.automations.cwdLabel":"프로젝트","codex.gallery.automations.nameLabel":"이름","codex.gallery.automations.namePlaceholder":"작업을 요약하세요","codex.gallery.automations.promptLabel":"프롬프트","codex.gallery.automations.promptPlaceholder":"Codex가 해야 하는 일을 설명하세요","codex.gallery.dialogs.automation.label":"자동화 대화문","codex.gallery.dialogs.basic.body":"간단한 확인 또는 짧은 양식에 이 레이아웃을 사용하세요.","codex.gallery.dialogs.basic.cancel":"취소","codex.gallery.dialogs.basic.confirm":"확인","codex.gallery.dialogs.basic.label":"기본 대화문","codex.gallery.dialogs.basic.title":"샘플 다이얼로그","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"이슈에 대해 설명해 주세요","codex.gallery.dialogs.feedbackSubmission.bad":"좋지 않은 결과","codex.gallery.dialogs.feedbackSubmission.bug":"버그","codex.gallery.dialogs.feedbackSubmission.good":"좋은 결과","codex.gallery.dialogs.feedbackSubmission.includeLogs":"현재 Codex 세션 로그 포함","codex.gallery.dialogs.feedbackSubmission.label":"피드백 제출","codex.gallery.dialogs.feedbackSubmission.other":"기타","codex.gallery.dialogs.feedbackSubmission.placeholder":"여기에 문제에 대해 설명해 주세요","codex.gallery.dialogs.feedbackSubmission.submit":"제출","codex.gallery.dialogs.feedbackSubmission.title":"피드백","codex.gallery.dialogs.feedbackSuccess.body":"피드백이 업로드되었습니다. 문제가 지속되면 GitHub 이슈를 열거나 기존에 열려 있는 이슈에서 스레드 ID를 멘션하세요:","codex.gallery.dialogs.feedbackSuccess.dismiss":"무시","codex.gallery.dialogs.feedbackSuccess.label":"피드백 성공","codex.gallery.dialogs.feedbackSuccess.title":"피드백 업로드됨","codex.gallery.dialogs.gitApplyResults.applied":"원활하게 적용됨 (2)","codex.gallery.dialogs.gitApplyResults.close":"닫기","codex.gallery.dialogs.gitApplyResults.conflicted":"충돌 발생 (1)","codex.gallery.dialogs.gitApplyResults.label":"결과 적용하기","codex.gallery.dialogs.gitApplyResults.title":"결과 적용하기","codex.gallery.dialogs.gitPushError.body":"최신 변경 사항을 가져오거나 원격 기록을 덮어써도 안전하다는 것을 확신하는 경우 강제 푸시하세요.","codex.gallery.dialogs.gitPushError.cancel":"취소","codex.gallery.dialogs.gitPushError.force":"푸시 강제","codex.gallery.dialogs.gitPushError.label":"푸시 오류","codex.gallery.dialogs.gitPushError.subtitle":"사용자님의 브랜치가 원본/메인보다 뒤처져 있습니다.","codex.gallery.dialogs.gitPushError.title":"변경 사항을 푸시하지 못했습니다","codex.gallery.dialogs.gitRevert.cancel":"취소","codex.gallery.dialogs.gitRevert.confirm":"되돌리기","codex.gallery.dialogs.gitRevert.label":"변경 사항 되돌리기","codex.gallery.dialogs.gitRevert.skip":"다시 묻지 않기","codex.gallery.dialogs.gitRevert.subtitle":"이 액션으로 모든 변경 사항이 제거됩니다.","codex.gallery.dialogs.gitRevert.title":"변경 사항을 되돌릴까요?","codex.gallery.dialogs.longForm.label":"긴 양식의 대화문","codex.gallery.dialogs.proseModal.body":"이 모달 스타일은 긴 지침, 온보딩, 확장 콘텐츠 블록용으로 사용됩니다.","codex.gallery.dialogs.proseModal.close":"닫기","codex.gallery.dialogs.proseModal.subtitle":"여기에 긴 양식의 가이드 또는 문서를 공유하세요.","codex.gallery.dialogs.proseModal.title":"서술형 모달","codex.gallery.dialogs.submitBlocked.label":"제출 차단됨","codex.gallery.dialogs.submitBlocked.message":"해당 프로젝트를 사용할 수 없어 메시지를 보내지 못했습니다.","codex.gallery.dialogs.submitBlocked.ok":"확인","codex.gallery.dialogs.submitBlocked.title":"메시지를 보내지 못했습니다","codex.gallery.dialogs.title":"대화문","codex.gallery.dropdown.filterPlaceholder":"항목 필터링","codex.gallery.dropdowns.actionRow":"액션 행","codex.gallery.dropdowns.actionRow.disabled":"비활성화된 액션","codex.gallery.dropdowns.actionRow.primary":"기본 액션","codex.gallery.dropdowns.actionRow.secondary":"보조 액션","codex.gallery.dropdowns.actionRow.trigger":"액션 보기","codex.gallery.dropdowns.basic":"기본 드롭다운","codex.gallery.dropdowns.basic.newFile":"새 파일","codex.gallery.dropdowns.basic.newFolder":"새 폴더","codex.gallery.dropdowns.basic.openSettings":"설정 열기","codex.gallery.dropdowns.basic.title":"빠른 액션","codex.gallery.dropdowns.basic.trigger":"메뉴 열기","codex.gallery.dropdowns.basic.upload":"업로드","codex.gallery.dropdowns.panel":"패널 창","codex.gallery.dropdowns.panel.apply":"적용","codex.gallery.dropdowns.panel.body":"diff를 검토하고 프로젝트에 적용하세요.","codex.gallery.dropdowns.panel.preview":"미리 보기","codex.gallery.dropdowns.panel.title":"변경 사항 적용","codex.gallery.dropdowns.panel.trigger":"패널 열기","codex.gallery.dropdowns.search":"검색 가능한 드롭다운","codex.gallery.dropdowns.search.first":"알파 채널","codex.gallery.dropdowns.search.second":"베타 브랜치","codex.gallery.dropdowns.search.third":"출시 후보","codex.gallery.dropdowns.search.trigger":"항목 필터링","codex.gallery.dropdowns.submenu":"하위 메뉴 포함 드롭다운","codex.gallery.dropdowns.submenu.optionA":"프로젝트 알파","codex.gallery.dropdowns.submenu.optionB":"프로젝트 베타","codex.gallery.dropdowns.submenu.optionC":"프로젝트 감마","codex.gallery.dropdowns.submenu.primary":"소유자 할당","codex.gallery.dropdowns.submenu.secondary":"다음으로 이동","codex.gallery.dropdowns.submenu.tertiary":"아카이브에 보관","codex.gallery.dropdowns.submenu.trigger":"액션 선택","codex.gallery.dropdowns.title":"드롭다운","codex.gallery.inbox.automations.close":"닫기","codex.gallery.inbox.automations.popover.cardTitle":"자동화 관리","codex.gallery.inbox.automations.popover.dialogTitle":"자동화 관리","codex.header.settingsTooltip":"설정","codex.hunk.patch.error":"스테이징 실패","codex.hunk.patch.missing":"이 hunk의 패치를 만들 수 없습니다.","codex.hunk.patch.partialSuccess":"부분적 성공","codex.hunk.patch.revertError":"스테이징 해제 실패","codex.hunk.patch.revertSuccess":"성공적으로 스테이징 해제됨","codex.hunk.patch.success":"성공적으로 스테이징됨","codex.legal.autonomy.details":"자세한 세부 정보는 {link}을(를) 참고하세요","codex.legal.autonomy.details.link":"Codex 문서","codex.legal.autonomy.title":"부여하고 싶은 자율성 정도를 정하세요","codex.legal.backButton":"뒤로","codex.legal.cloud.taskOne.meta":"openai/agi · 10월 12일","codex.legal.cloud.taskOne.title":"신규 디자이너에게 저장소를 설명하세요","codex.legal.cloud.taskThree.meta":"openai/codex · 10월 8일","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"다크 모드 테마를 생성하세요","codex.legal.cloud.taskTwo.meta":"openai/agi · 10월 9일","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"온보딩 버그를 수정하세요","codex.legal.continue.apikey":"계속","codex.legal.continueButton":"다음","codex.legal.copilot.details":"모든 모델 호출, 청구, 요금 한도에 Copilot 플랜을 사용하세요. Codex 확장 사용량은 {oaiTos} 및 {gitHubTos} 모두에 해당합니다.","codex.legal.copilot.gitHubTosLink":"GitHub 이용약관","codex.legal.copilot.oaiTosLink":"OpenAI Codex 이용약관","codex.legal.copilot.title":"GitHub Copilot으로 구동됩니다","codex.legal.mistakes.review":"작성하는 코드와 실행하는 커맨드를 검토하세요","codex.legal.mistakes.title":"Codex는 실수를 할 수 있습니다","codex.legal.powered.details":"플랜의 한도를 사용하고 {link}","codex.legal.powered.details.link":"훈련 데이터 기본 설정","codex.legal.powered.title":"사용자님의 ChatGPT 계정으로 구동됩니다","codex.legal.step.cloud.subtitle":"작업을 Codex로 보내 백그라운드에서 실행시키세요. 필요한 데 집중하여 더 신속하게 움직일 수 있습니다.","codex.legal.step.cloud.title":"클라우드에서 Codex에게 맡기세요","codex.legal.step.intro.subtitle":"Codex는 저장소에서 곧장 탐색하고, 편집하고, 커맨더를 실행하고, 테스트를 실행하세요. 사용자님의 ChatGPT 계정으로 구동됩니다.","codex.legal.step.intro.title":"내 IDE 안 Codex","codex.legal.step.todo.subtitle":"TODO 댓글을 작성하고 한 번 클릭으로 Codex 작업으로 변환하세요.","codex.legal.step.todo.title":"TODO를 Codex 작업으로 바꾸세요","codex.legal.todo.heading":"// TODO: 스키마 구현","codex.localConversation.closeImagePreview":"이미지 미리 보기 닫기","codex.localConversation.userImageAttachment":"사용자 첨부 파일","codex.localTaskRow.archiveTask":"스레드 아카이브에 보관","codex.localTaskRow.awaitingApproval":"승인 대기 중","codex.localTaskRow.awaitingResponse":"응답을 기다리는 중","codex.localTaskRow.confirmArchiveTask":"확인","codex.loggedOut.apiKeyPrompt.cancel":"취소","codex.loggedOut.apiKeyPrompt.confirm":"확인","codex.loggedOut.apiKeyPrompt.getKey":"API 키 받기","codex.loggedOut.apiKeyPrompt.inputLabel":"OpenAI API 키를 입력하세요","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API 키로 클라우드 작업이 비활성화되었습니다","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot 및 API 키로 클라우드 작업이 비활성화되었습니다","codex.loggedOut.signIn":"ChatGPT로 로그인","codex.loggedOut.signIn.cancel":"로그인 취소","codex.loggedOut.signInWithCopilot":"GitHub Copilot으로 로그인","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API 키 사용","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} 도구","codex.mcpTool.collapsedLabel.verb.called":"호출함","codex.mcpTool.collapsedLabel.verb.calling":"호출 중","codex.mcpTool.embeddedResource.contentLabel":"내용","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME 유형","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"도구가 반환한 내용이 없습니다","codex.mcpTool.rawPayloadHeading":"로우 {server}.{tool} 도구 호출 페이로드","codex.menu.recent":"최근","codex.menu.seeAllHistory":"모든 기록 보기","codex.modelCapacityBanner.headline.noReset":"{modelName}의 용량 한도에 도달했습니다. 나중에 다시 시도하거나 다른 모델로 새로운 대화를 시작하세요.","codex.modelCapacityBanner.headline.withReset":"{modelName}의 용량 한도에 도달했습니다. {resetDate} 이후에 다시 시도하거나 다른 모델로 새로운 대화를 시작하세요.","codex.modelCapacityBanner.title":"선택된 모델의 용량 한도 도달","codex.patch.change.contentsDeleted":"내용 삭제됨","codex.patch.change.created":"생성됨","codex.patch.change.created-file":"파일 생성됨","codex.patch.change.creating":"생성 중","codex.patch.change.deleted":"삭제됨","codex.patch.change.deleted-file":"파일 삭제됨","codex.patch.change.deleting":"삭제 중","codex.patch.change.edited":"편집함","codex.patch.change.edited-file":"편집한 파일","codex.patch.change.editing":"편집 중","codex.patch.change.noChanges":"변경 사항 없음","codex.patch.change.rejected-add":"거부됨","codex.patch.change.rejected-delete":"거부됨","codex.patch.change.rejected-edit":"거부됨","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"총 {total}개의 작업 완료 중 {completed}","codex.plan.todoListCreated":"{total}개의 작업으로 생성된 할 일 목록","codex.profileDropdown.apiKeyAuth":"API 키로 로그인함","codex.profileDropdown.codexSettings":"Codex 설정","codex.profileDropdown.copilotAuth":"Copilot으로 로그인함","codex.profileDropdown.defaultAccountTitle":"기본 계정","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter로 긴 프롬프트 보내기","codex.profileDropdown.enterBehaviorError":"설정을 업데이트하지 못했습니다","codex.profileDropdown.getPlus":"업그레이드해 더 많은 한도를 사용하세요","codex.profileDropdown.keyboardShortcuts":"키보드 단축키","codex.profileDropdown.language":"언어","codex.profileDropdown.languageDefault":"자동 탐지","codex.profileDropdown.languageSearchPlaceholder":"언어 검색","codex.profileDropdown.languageUpdateError":"언어를 업데이트하지 못했습니다","codex.profileDropdown.logOut":"로그아웃","codex.profileDropdown.mcp":"MCP 설정","codex.profileDropdown.openConfigToml":"config.toml 열기","codex.profileDropdown.openConfigToml.wsl":"WSL 환경 내 config.toml 열기","codex.profileDropdown.openExtensionSettings":"설정 열기","codex.profileDropdown.openMcpSettings":"MCP 설정 열기","codex.profileDropdown.openOnStartup":"시작에서 열기","codex.profileDropdown.openOnStartupError":"설정을 업데이트하지 못했습니다","codex.profileDropdown.openSkillsSettings":"스킬 설정 열기","codex.profileDropdown.personalAccountTitle":"개인 계정","codex.profileDropdown.queueFollowUps":"후속 행동 대기열 추가","codex.profileDropdown.queueFollowUpsError":"설정을 업데이트하지 못했습니다","codex.profileDropdown.readDocs":"문서 읽기","codex.profileDropdown.readSkillsDocs":"문서 읽기","codex.profileDropdown.runInWsl":"WSL에서 실행","codex.profileDropdown.runInWslError":"설정을 업데이트하지 못했습니다","codex.profileDropdown.runInWslTooltip":"WSL 내에서 Codex를 실행하세요. 향상된 샌드박스 보안 및 더 뛰어난 성능으로 권장됩니다.","codex.profileDropdown.settings":"IDE 설정","codex.profileDropdown.settingsPage":"설정","codex.profileDropdown.signInWithOpenAI":"ChatGPT로 로그인","codex.profileDropdown.skills":"스킬 설정","codex.profileDropdown.switchToCopilotAccount":"Copilot 계정 사용","codex.profileDropdown.switchToOpenAIAccount":"OpenAI 계정 사용","codex.profileDropdown.todoCodelens":"TODO 댓글 수정","codex.profileDropdown.todoCodelensError":"설정을 업데이트하지 못했습니다","codex.profileDropdown.windowsDocumentation":"Windows 문서","codex.profileFooter.signedInFallback":"설정","codex.profileFooter.upgrade":"업그레이드","codex.recentTasksMenu.clearSearch":"검색 지우기","codex.recentTasksMenu.cloud":"클라우드 작업","codex.recentTasksMenu.count":"{count, plural, =0 {진행 중인 작업 없음} other {#개 작업 진행 중}}","codex.recentTasksMenu.empty":"아직 스레드가 없습니다","codex.recentTasksMenu.errorCloud":"작업을 불러오지 못했습니다.","codex.recentTasksMenu.errorCloud.inline":"클라우드 작업을 불러오지 못했습니다.","codex.recentTasksMenu.filterAll":"모두","codex.recentTasksMenu.filterCloudTasks":"클라우드 작업 필터","codex.recentTasksMenu.filterTooltip":"작업을 환경으로 필터링","codex.recentTasksMenu.local":"로컬 작업","codex.recentTasksMenu.recent":"모든 작업","codex.recentTasksMenu.search":"최근 작업 검색","codex.recentTasksMenu.searchEmpty":"결과 없음","codex.recentTasksMenu.tooltip":"작업 기록","codex.recentTasksMenu.trigger":"최근 작업. {count, plural, other {# 진행 중}}","codex.remoteConversation.applyDiff.applyCta":"변경 사항 적용","codex.remoteConversation.applyDiff.dropdownTitle":"로컬 브랜치에 변경 사항 적용","codex.remoteConversation.applyDiff.revertCta":"변경 사항 되돌리기","codex.remoteConversation.closeImagePreview":"이미지 미리 보기 닫기","codex.remoteConversation.codexCloudTask":"<u>Codex 클라우드</u> 작업을 보고 있습니다","codex.remoteConversation.errorWithMessage":"오류: {message}","codex.remoteConversation.loadingImage":"이미지 불러오는 중","codex.remoteConversation.openInWeb":"웹에서 열기","codex.remoteConversation.streaming":"시작하는 중","codex.remoteConversation.turnFailed":"이 작업 중 오류가 발생했습니다","codex.remoteConversation.turnTab.loading":"시도 {number}","codex.remoteConversation.turnTab.title":"시도 {number}","codex.remoteConversation.userImageAttachment":"사용자 첨부 파일","codex.remoteConversation.viewPreviousTurns":"웹에서 열기","codex.remoteConversation.viewPreviousTurns.buttonText":"열기","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"웹에서 열기","codex.review.copyGitApplyCommand":"git 적용 커맨드 복사","codex.review.copyGitApplyCommand.toast":"Git 적용 커맨드를 클립보드에 복사했습니다","codex.review.diffTooLarge.description":"이 diff는 검토에 표시하기에 너무 큽니다.","codex.review.diffTooLarge.title":"diff가 표시하기에 너무 큽니다","codex.review.expandOrCollapseDiffButton.collapse":"모든 diff 축소","codex.review.expandOrCollapseDiffButton.expand":"모든 diff 확장","codex.review.expandOrCollapseDiffMenu.collapse":"모든 diff 축소","codex.review.expandOrCollapseDiffMenu.expand":"모든 diff 확장","codex.review.fileSearch.clear":"파일 필터 지우기","codex.review.fileSearch.empty":"현재 필터와 일치하는 파일이 없습니다.","codex.review.fileSearch.label":"파일 필터링","codex.review.fileSearch.placeholder":"파일을 필터링하세요…","codex.review.filesChanged":"{num, plural, =0 {변경된 파일 없음} other {#개 파일 변경됨}}","codex.review.find.loadMore":"일치 사항 더 불러오기","codex.review.fullReview.hideFileTree":"파일 트리 숨기기","codex.review.fullReview.showFileTree":"파일 트리 보기","codex.review.header.moreOptions":"검토 옵션","codex.review.largeDiff.banner":"큰 diff가 감지되었습니다. 한 번에 하나의 파일만 표시합니다.","codex.review.loadFullFiles.disable":"전체 파일 가져오지 않기","codex.review.loadFullFiles.enable":"전체 파일 가져오기","codex.review.noDiff":"파일 변경 사항이 여기 나타납니다","codex.review.noDiff.gitInit.createRepository":"깃 저장소 생성","codex.review.noDiff.gitInit.creating":"생성 중…","codex.review.noDiff.gitInit.error":"깃 시작하지 못함: {message}","codex.review.noDiff.gitInit.success":"깃 저장소 생성됨","codex.review.noDiff.gitRepoRequired.description":"이 프로젝트에서 변경 사항 추적 및 실행 취소","codex.review.noDiff.gitRepoRequired.title":"깃 저장소를 생성하세요","codex.review.noDiff.orNoLongerAvailable":"또는 최신 diff를 더 이상 사용할 수 없음","codex.review.noDiff.reverted":"마지막 턴이 되돌려졌습니다","codex.review.noDiff.revertedOrCommitted":"마지막 턴이 되돌려졌거나 커밋되었습니다","codex.review.refreshGitQueries":"새로 고침","codex.review.revert.file.error":"{path} 되돌리지 못했습니다","codex.review.revert.file.partialSuccess":"{path} 일부 되돌리기했습니다","codex.review.revert.file.success":"{path} 되돌리기했습니다","codex.review.revert.hunk.error":"{path}에서 {hunkNumber} hunk를 되돌리지 못했습니다","codex.review.revert.hunk.partialSuccess":"{path}에서 {hunkNumber} hunk를 일부 되돌리기했습니다","codex.review.revert.hunk.success":"{path}에서 {hunkNumber} hunk를 되돌리기했습니다","codex.review.revert.section.error":"섹션을 되돌리지 못했습니다","codex.review.revert.section.partialSuccess":"섹션을 일부 되돌리기했습니다","codex.review.revert.section.success":"섹션을 되돌리기했습니다","codex.review.revertDialog.cancel":"취소","codex.review.revertDialog.confirm":"확인","codex.review.revertDialog.message":"이 액션으로 모든 변경 사항이 제거됩니다.","codex.review.revertDialog.skip":"다시 묻지 않기","codex.review.revertDialog.title":"변경 사항을 되돌릴까요?","codex.review.richPreview.disable":"확장형 미리보기 비활성화","codex.review.richPreview.enable":"확장형 미리보기 활성화","codex.review.source.cloud":"클라우드 변경 사항","codex.review.source.local.all":"브랜치의 모든 변경 사항","codex.review.source.local.lastTurn":"최신 턴 변경 사항","codex.review.source.local.uncommitted":"커밋하지 않은 변경 사항","codex.review.source.worktree":"커밋되지 않은 작업 트리 변경 사항","codex.review.stageFilter.empty.staged.description":"편집 내용 수락해 스테이징","codex.review.stageFilter.empty.staged.title":"스테이징된 변경 사항 없음","codex.review.stageFilter.empty.unstaged.description":"코드 변경 사항이 여기 나타납니다","codex.review.stageFilter.empty.unstaged.title":"스테이징되지 않은 변경 사항 없음","codex.review.stageFilter.staged":"스테이징됨","codex.review.stageFilter.staged.count":"스테이징됨 · {count}","codex.review.stageFilter.unstaged":"스테이징되지 않음","codex.review.stageFilter.unstaged.count":"스테이징되지 않음 · {count}","codex.review.switchToSplit":"분할 diff로 전환","codex.review.switchToUnified":"통합 diff로 전환","codex.review.toggleDiffView":"diff 보기 토글","codex.review.wordDiffs.disable":"단어 diff 비활성화","codex.review.wordDiffs.enable":"단어 diff 활성화","codex.review.wrap.disable":"단어 래핑 비활성화","codex.review.wrap.enable":"단어 래핑 활성화","codex.section.patch.missing":"이 섹션의 패치를 만들 수 없습니다.","codex.shell.collapse":"쉘 축소","codex.shell.commandLine":"${command}","codex.shell.copy.copiedTooltip":"쉘 내용 복사함","codex.shell.copy.copyTooltip":"쉘 내용 복사","codex.shell.copyCommand":"커맨드 복사","codex.shell.copyOutput":"출력 복사","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"쉘 확장","codex.shell.name":"쉘","codex.shell.noOutput":"출력 없음","codex.signInFailed.message":"로그인 실패: {rawMessage}","codex.stories.toast.show":"토스트 표시","codex.stories.tooltip.basic":"이것은 툴팁입니다","codex.stories.tooltip.hoverMe":"마우스를 올려 보세요","codex.stories.tooltip.largerOffset":"이 툴팁에는 더 큰 오프셋이 있습니다","codex.stories.tooltip.offsetButton":"더 큰 오프셋","codex.stories.tooltip.shortcutButton":"단축키 포함","codex.stories.tooltip.withShortcut":"터미널 토글","codex.taskRow.title":"새 스레드","codex.taskRowLayout.confirm":"확인","codex.threadFindBar.chatFilter":"채팅 검색","codex.threadFindBar.close":"찾기 닫기","codex.threadFindBar.diffFilter":"diff 검색","codex.threadFindBar.label":"스레드에서 찾기","codex.threadFindBar.nextResult":"다음 결과","codex.threadFindBar.noResults":"0개의 결과","codex.threadFindBar.placeholder":"스레드 찾기…","codex.threadFindBar.placeholder.extension":"스레드 찾기…","codex.threadFindBar.placeholder.review":"diff를 검색하세요…","codex.threadFindBar.placeholder.review.extension":"diff를 검색하세요…","codex.threadFindBar.previousResult":"이전 결과","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {#개 파일 변경됨}}","codex.unifiedDiff.inlineLargeFile":"인라인을 렌더링하기에 너무 큽니다","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"실행 취소","codex.unifiedDiff.revertPatchError":"변경 사항을 되돌리지 못했습니다","codex.unifiedDiff.revertPatchSuccess":"되돌린 변경 사항","codex.unifiedDiff.reviewChangesSuffix":"변경 사항","codex.unifiedDiff.reviewShort":"리뷰","codex.unifiedDiff.viewDiffTooltip":"리뷰","codex.upsellBanner.business.headline":"더 많은 액세스는 관리자에게 요청하거나 {resetDate}까지 기다리세요.","codex.upsellBanner.cbp.headline":"관리자에게 요청해 지금 액세스를 추가하세요.","codex.upsellBanner.cta.addCredits":"크레딧 추가","codex.upsellBanner.cta.upgradeAccount":"업그레이드","codex.upsellBanner.cta.viewUsage":"사용량 보기","codex.upsellBanner.free.trialHeadline":"{resetDate} 요금 한도가 초기화됩니다. 계속해서 Codex를 사용하고 GPT-5.3-Codex에 액세스하려면, 지금 Plus 무료 체험판을 시작하세요.","codex.upsellBanner.freeOrGo.headline":"요금 한도가 {resetDate} 초기화됩니다. 계속 Codex를 사용하려면 지금 Plus로 업그레이드하세요.","codex.upsellBanner.general.headline":"요금 한도가 {resetDate} 초기화됩니다.","codex.upsellBanner.general.title":"Codex 메시지를 다 썼습니다","codex.upsellBanner.go.trialHeadline":"{resetDate} 요금 한도가 초기화됩니다. 계속해서 Codex를 사용하려면, 지금 Plus 무료 체험판을 시작하세요.","codex.upsellBanner.plus.headline":"요금 한도가 {resetDate} 초기화됩니다. 계속 Codex를 사용하려면 지금 크레딧을 추가하거나 Plus로 업그레이드하세요.","codex.upsellBanner.pro.headline":"요금 한도가 {resetDate} 초기화됩니다. 계속 Codex를 사용하려면 지금 크레딧을 추가하세요.","codex.userMessage.autoResolveSync":"충돌 자동 해결","codex.userMessage.commentCount":"{count, plural, other {#개의 댓글}}","codex.userMessage.copiedAriaLabel":"복사됨","codex.userMessage.copiedTooltip":"복사됨","codex.userMessage.copyAriaLabel":"메시지 복사","codex.userMessage.copyTooltip":"복사","codex.userMessage.implementPlan":"계획 적용하기","codex.userMessage.noContent":"(내용 없음)","codex.userMessage.priorConversation":"이전 대화 참조","codex.userMessage.reviewMode":"검토 모드","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}","codex.webSearch.summary.verb.completed":"웹 검색함","codex.webSearch.summary.verb.inProgress":"웹 검색 중","codex.windowsInstallWslBanner.dismiss":"무시","codex.windowsInstallWslBanner.installWslCta":"샌드박스 활성화","codex.windowsInstallWslBanner.learnMore":"자세히 알아보기","codex.windowsSandboxBanner.content":"에이전트 모드는 Windows에서 실험적인 샌드박스를 사용해 파일 시스템 및 네트워크 액세스를 제한합니다. {sandboxLink}","codex.windowsSandboxBanner.title":"에이전트 모드의 샌드박스 활성화","codex.windowsSubDropdown.windowsSandbox":"Windows 샌드박스","codex.windowsSubDropdown.windowsSettings":"Windows 설정","codexUpgradeModal.body":"OpenAI의 최신 프런티어 에이전틱 코딩 모델 — 일반 기술 작업에 더 스마트하고, 더 빠르고, 더 유용합니다. {link}","codexUpgradeModal.close":"닫기","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"자세히 알아보기","codexUpgradeModal.title":"GPT-5.3-Codex를 소개합니다","codexUpgradeModal.tryNewModel":"지금 GPT-5.3-Codex 시험해 보기","codexUpgradeModal.useExistingModel":"현재 모델로 계속 진행","commentAttachments.numComments":"{count, plural, other {#개의 댓글}}","commentAttachments.removeAriaLabel":"댓글 첨부 파일 제거","common.close":"닫기","composer.addContext.openFilePickerError":"파일 선택기를 열 수 없습니다","composer.addContextDropdown.ariaLabel":"파일 추가 및 기타","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"파일 추가 및 기타","composer.addPhotosAndFiles":"사진 및 파일 추가","composer.atMentionList.emptyQuery":"입력하여 파일을 찾으세요","composer.atMentionList.loading":"검색 중…","composer.atMentionList.noResults":"검색 결과 없음","composer.attemptsSelector.option":"{count, plural, other {#개 버전}}","composer.attemptsSelector.tooltip":"Codex의 병행 시도 횟수","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"중지하기","composer.cloudFollowUp.cloud":"클라우드","composer.cloudFollowUp.local":"로컬","composer.cloudFollowUp.whereRun":"이 후속 작업을 어디서 실행해야 할까요?","composer.cloudTaskCreationError":"클라우드 작업 생성 중 오류","composer.cloudTaskError":"작업 생성 중 오류","composer.contextWindow.autoCompactionTooltipLine1":"Codex가 컨텍스트를 자동으로 압축합니다","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"컨텍스트 창:","composer.contextWindowUsageStatusFull":"{usage}% 참","composer.contextWindowUsageStatusLeft":"{usage}% 사용 ({remaining}% 남음)","composer.contextWindowUsageTooltip":"{usedTokens}k/{contextWindow}k 개의 토근 사용","composer.customCliTooltip":"맞춤형 CLI 실행 파일 사용 중","composer.dictation.aria":"음성 입력","composer.dictation.cancel.aria":"음성 입력 중지","composer.dictation.cancel.tooltip":"음성 입력 중지","composer.dictation.startError":"음성 입력을 시작할 수 없습니다","composer.dictation.submit.aria":"받아쓰고 보내기","composer.dictation.submit.tooltip":"받아쓰고 보내세요","composer.dictation.tooltip":"길게 눌러 음성 받아쓰기","composer.dictation.transcribeError":"오디오를 받아쓸 수 없습니다","composer.dictation.unsupported":"이 장치에서는 음성 입력을 사용할 수 없습니다","composer.dropOverlay.holdShift":"{key}을(를) 길게 눌러 드롭하세요","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"새로 만들기","composer.environmentSelector.error":"환경 불러오던 중 오류","composer.environmentSelector.goBack":"컴포저로 돌아가기","composer.environmentSelector.title":"환경 선택","composer.environmentSelector.tooltip":"클라우드 환경을 선택하세요","composer.feedbackSlashCommand.title":"피드백","composer.filePicker.selectFile":"한 개의 파일을 선택하세요","composer.filePicker.selectFiles":"여러 개의 파일을 선택하세요","composer.followerTooltip":"계속하려면 이 대화가 시작된 창으로 돌아가세요.","composer.footer.branchSwitch.checkoutError":"브랜치를 전환하지 못했습니다: {message}","composer.footer.branchSwitch.createAndCheckout":"새 브랜치 생성 및 체크아웃…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"변경 사항을 커밋해 새 브랜치를 생성 및 체크아웃하세요","composer.footer.branchSwitch.createBranchError":"브랜치를 생성하지 못했습니다: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"브랜치 이름","composer.footer.branchSwitch.createDialog.branchExistsError":"이미 존재하는 브랜치입니다.","composer.footer.branchSwitch.createDialog.close":"닫기","composer.footer.branchSwitch.createDialog.createAndCheckout":"생성 및 체크아웃","composer.footer.branchSwitch.createDialog.placeholder":"새 브랜치","composer.footer.branchSwitch.createDialog.title":"브랜치 생성 및 체크아웃","composer.footer.branchSwitch.createDialog.trailingSlashError":'브랜치 이름은 "/"로 끝날 수 없습니다.',"composer.footer.branchSwitch.tooltip":"브랜치 전환","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{fileCount, plural, other {#개의 파일}}에서 변경 사항을 커밋하여 {branchName}을(를) 체크아웃합니다.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"커밋","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, other {#개의 파일}}에서 변경 사항을 커밋하여 {branchName}을(를) 체크아웃합니다.","composer.footer.branchSwitch.uncommittedDialog.cancel":"취소","composer.footer.branchSwitch.uncommittedDialog.commit":"커밋 및 브랜치 전환...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"체크아웃 시 다음 파일의 변경 사항이 덮어쓰기됩니다:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"계속하려면 변경 사항을 커밋하세요.","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"선택된 브랜치","composer.footer.branchSwitch.uncommittedDialog.title":"브랜치를 전환하려면 변경 사항 커밋하기","composer.footer.branchSwitch.uncommittedSummaryPrefix":"커밋하지 않음: {fileCount, plural, other {#개의 파일}}","composer.forkSlashCommand.description":"이 스레드를 로컬 또는 새 작업 트리로 포크","composer.forkSlashCommand.option.local.description":"새 로컬 스레드에서 계속","composer.forkSlashCommand.option.local.title":"로컬로 포크","composer.forkSlashCommand.option.worktree.description":"새 작업 트리에서 계속","composer.forkSlashCommand.option.worktree.title":"새 작업 트리로 포크","composer.forkSlashCommand.title":"포크","composer.ideContextIndicator":"IDE 컨텍스트","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE의 컨텍스트 포함","composer.ideContextIndicator.tooltipToggle":"으로 토글","composer.ideContextSlashCommand.disableDescription":"IDE 컨텍스트 끄기","composer.ideContextSlashCommand.enableDescription":"현재 선택, 열린 파일, IDE의 그 외 컨텍스트를 포함합니다.","composer.ideContextSlashCommand.title":"IDE 컨텍스트","composer.imageInputsUnsupported":"이 모델은 이미지 입력을 지원하지 않습니다. 다른 모델을 사용하세요.","composer.imageUploadFailed":"이미지를 업로드하지 못했습니다","composer.includeIdeContextDropdown":"IDE 컨텍스트 포함하기","composer.includeIdeContextDropdown.ariaLabel":"IDE 컨텍스트 포함하기","composer.localCwdDropdown.addWorkspaceRoot":"새 프로젝트 추가","composer.localCwdDropdown.noActiveRoot":"프로젝트를 선택하세요","composer.localCwdDropdown.noResults":"찾은 폴더가 없습니다","composer.localCwdDropdown.title":"프로젝트를 선택하세요","composer.localTaskError":"대화 시작 중 오류","composer.mcpSlashCommand.description":"MCP 서버 상태 보기","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"인증되지 않음","composer.mcpStatus.authOauth":"인증됨(OAuth)","composer.mcpStatus.authToken":"인증됨(API 키)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"닫기","composer.mcpStatus.disabled":"비활성화됨","composer.mcpStatus.emptyLabel":"서버:","composer.mcpStatus.emptyValue":"구성된 MCP 서버 없음","composer.mcpStatus.enabled":"사용함","composer.mcpStatus.errorLabel":"상태:","composer.mcpStatus.errorValue":"MCP 상태를 불러올 수 없음","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"에이전트","composer.mode.agentMode.auto.dropdownLabel":"에이전트","composer.mode.agentMode.auto.optionLabel":"에이전트","composer.mode.agentMode.changePermission":"모델 바꾸기","composer.mode.agentMode.custom":"맞춤형","composer.mode.agentMode.custom.dropdownLabel":"맞춤형","composer.mode.agentMode.custom.option":"맞춤형(config.toml)","composer.mode.agentMode.custom.optionLabel":"맞춤형(config.toml)","composer.mode.agentMode.customInfo.cancel":"취소","composer.mode.agentMode.customInfo.cli":"이러한 설정을 CLI에서 또는 파일을 직접 편집하여 변경할 수 있습니다.","composer.mode.agentMode.customInfo.confirm":"맞춤형 모드 사용","composer.mode.agentMode.customInfo.description":"맞춤형 모드는 사용자님의<link>config.toml</link> 파일에 정의된 샌드박스 정책 및 승인을 적용합니다.","composer.mode.agentMode.customInfo.docs":"구성 승인 및 샌드박스 정책에 대한 자세한 내용은 <link>실행 환경 문서</link>에서 확인하세요.","composer.mode.agentMode.customInfo.refresh":"다음 번에 에이전트 실행 시 모든 변경 사항이 적용됩니다.","composer.mode.agentMode.customInfo.title":"맞춤형 모드 작동 방식","composer.mode.agentMode.fullAccess":"에이전트(전체 액세스)","composer.mode.agentMode.fullAccess.dropdownLabel":"에이전트(전체 액세스)","composer.mode.agentMode.fullAccess.optionLabel":"에이전트(전체 액세스)","composer.mode.agentMode.fullAccessConfirm.caution":"전체 액세스를 활성화할 때는 주의하세요. 데이터 유실, 유출, 예상치 못한 행동 등에 대한 위험이 현저히 증가합니다.","composer.mode.agentMode.fullAccessConfirm.confirm":"그래도 계속하겠습니다","composer.mode.agentMode.fullAccessConfirm.description":"전체 액세스로 Codex를 실행하면 사용자님의 승인 없이 컴퓨터의 아무 파일을 편집하거나 네트워크로 커맨드를 실행할 수 있습니다.","composer.mode.agentMode.fullAccessConfirm.goBack":"취소","composer.mode.agentMode.fullAccessConfirm.title":"전체 액세스를 허용할까요?","composer.mode.agentMode.readOnly":"채팅","composer.mode.agentMode.readOnly.dropdownLabel":"채팅","composer.mode.agentMode.readOnly.optionLabel":"채팅","composer.mode.agentMode.tooltip":"모드 바꾸기","composer.mode.agentMode.tooltip.auto":"파일을 읽고 편집하고, 커맨드를 실행합니다.","composer.mode.agentMode.tooltip.custom":"config.toml에 정의된 최신 승인 및 샌드박스 정책을 사용합니다.","composer.mode.agentMode.tooltip.fullAccess":"Codex가 이 프로젝트 외부에서 파일을 편집하고 네트워크 액세스로 커맨드를 실행할 수 있습니다. 주의하여 사용하세요.","composer.mode.agentMode.tooltip.readOnly":"파일 편집 및 커맨드 실행에는 승인이 필요합니다.","composer.mode.cloud.tooltip":"클라우드 환경에서 작업하세요","composer.mode.contactAdmin":"더 많은 액세스가 필요한 경우 관리자에게 문의하세요","composer.mode.local":"로컬","composer.mode.local.learnMore":"자세히 알아보기","composer.mode.local.model.custom":"맞춤형","composer.mode.local.model.loadingModel":"모델 불러오는 중","composer.mode.local.model.selecrReasoningEffort":"이성 선택","composer.mode.local.model.selectModel":"모델 선택","composer.mode.local.model.tooltip":"모델 선택하기","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"높음","composer.mode.local.reasoning.low.label":"낮음","composer.mode.local.reasoning.medium.label":"중간","composer.mode.local.reasoning.minimal.label":"최소한","composer.mode.local.reasoning.none.label":"없음","composer.mode.local.reasoning.xhigh.label":"매우 높음","composer.mode.localRemoteWhereRun":"작업을 실행할 곳을 선택하세요","composer.mode.newTask.header":"다음으로 계속","composer.mode.rateLimit.day":"{days}일","composer.mode.rateLimit.heading":"남은 요금 한도","composer.mode.rateLimit.hour":"{hours}시간","composer.mode.rateLimit.minute":"{minutes}분","composer.mode.rateLimit.modelSectionLabel":"{modelName} 한도:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks}주 한도}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks}주}}","composer.mode.remote.connectToCloud":"Codex 웹 연결","composer.mode.remote.connectToCloudDisabledTooltip":"Codex 웹을 통해 환경을 설정하여 작업을 클라우드에 보낼 수 있게 해주세요","composer.mode.remote.selectEnvironment":"환경 선택","composer.mode.remote.sendToCloud":"클라우드에 보내기","composer.mode.remote.setupViaWeb":"Codex 웹을 통해 환경 설정","composer.mode.runInCloud":"클라우드","composer.mode.runInCloudWithEnvironment":"클라우드 · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"클라우드 환경에서 작업하세요","composer.mode.segmentedToggle.local.tooltip":"로컬 프로젝트에서 작업하세요","composer.mode.segmentedToggle.worktree.tooltip":"병렬 작업 트리에서 작업하세요","composer.mode.upgradeToPlus":"Plus로 업그레이드","composer.mode.upgradeToPro":"Pro로 업그레이드","composer.mode.workLocally":"로컬 프로젝트","composer.mode.workLocally.currentBranchFallback":"내 브랜치","composer.mode.workLocally.tooltip":"{branchName}에서 작업","composer.mode.worktree":"새 작업 트리","composer.mode.worktree.submoduleWarning":"이 저장소에는 깃 서브모듈이 있습니다. 작업 트리 생성이 실패할 수 있습니다","composer.mode.worktree.tooltip":"로컬 프로젝트의 사본을 생성해 동시에 작업하세요","composer.mode.worktreeSegment":"작업 트리","composer.modelChangeDuringConversationWarning.toast":"대화 중 모델을 변경하면 성능이 떨어질 수 있습니다.","composer.newChat.heading.browser":"이제 어떤 코딩을 할까요?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex가 config.toml에서 정의된 권한을 사용합니다.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex가 내 컴퓨터에 전체 액세스를 가집니다(위험도 높음)","composer.permissionsDropdown.custom.label":"맞춤형(config.toml)","composer.permissionsDropdown.custom.optionLabel":"맞춤형(config.toml)","composer.permissionsDropdown.default.label":"기본 권한","composer.permissionsDropdown.default.optionLabel":"기본 권한","composer.permissionsDropdown.default.tooltip":"Codex가 샌드박스에서 자동으로 커맨드를 실행합니다","composer.permissionsDropdown.disabled.requirements":"requirements.toml에 의해 권한이 잠겨 있습니다","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml에 의해 전체 액세스가 비활성화되었습니다","composer.permissionsDropdown.fullAccess.label":"전체 액세스","composer.permissionsDropdown.fullAccess.optionLabel":"전체 액세스","composer.permissionsDropdown.trigger.tooltip":"권한 변경","composer.personalitySlashCommand.description.friendly":"따뜻하고 협력적이며 도움을 주려 함","composer.personalitySlashCommand.description.pragmatic":"간결하고 작업에 집중하며 직접적임","composer.personalitySlashCommand.label.friendly":"친근함","composer.personalitySlashCommand.label.pragmatic":"실용적","composer.personalitySlashCommand.notApplicableSuffix":"(현재 모델에 적용되지 않음)","composer.personalitySlashCommand.title":"성격","composer.placeholder.cloudFollowUp.directFollowUp":"이 클라우드 작업에 후속 작업","composer.placeholder.cloudFollowUp.local":"이 클라우드 작업을 참조하는 새 로컬 작업을 생성하세요","composer.placeholder.cloudFollowUp.workingTree":"현재 코드를 포함하며 해당 작업을 참조하는 새 클라우드 작업을 생성하세요","composer.placeholder.localFollowUp.cloud":"새 클라우드 작업에서 후속 작업","composer.placeholder.localFollowUp.locally":"후속 변경 사항을 부탁하세요","composer.placeholder.newTask.cloud":"Codex에게 클라우드의 무엇이든 부탁해 보세요","composer.placeholder.newTask.doAnything":"Codex에게 뭐든 부탁해 보세요","composer.placeholder.newTask.locally":"Codex에게 무엇이든 물어보세요, @로 파일 추가, / 로 커맨드","composer.planModeDropdown":"플랜 모드","composer.planModeDropdown.ariaLabel":"플랜 모드","composer.planModeIndicator":"플랜","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex로 플랜 생성","composer.planModeIndicator.tooltipToggle":"으로 토글","composer.planSlashCommand.disableDescription":"플랜 모드 끄기","composer.planSlashCommand.enableDescription":"플랜 모드 켜기","composer.planSlashCommand.title":"플랜 모드","composer.priorContext.label":"이전 컨텍스트","composer.priorContext.removeAriaLabel":"이전 컨텍스트 제거","composer.queuedMessage.delete":"대기열에 있는 메시지 삭제","composer.queuedMessage.edit":"메시지 편집","composer.queuedMessage.more":"대기열에 있는 메시지 액션","composer.queuedMessage.sendNow":"스티어링","composer.queuedMessage.sendNowTooltip":"작업을 중단하지 않고 지금 보내세요","composer.queuedMessage.turnOff":"대기열 끄기","composer.reasoningEffort.local.reasoning.tooltip":"이성 수준 선택","composer.remote.branchStartingPoint":"어떤 브랜치로 이 작업을 시작할까요?","composer.remote.branchesSectionHeading":"브랜치","composer.remote.currentEditsSuffix.followUp":"이 클라우드 작업을 참조하는 신규 작업을 생성하세요.","composer.remote.currentEditsSuffix.useLocal":"로컬 코드 변경 있음","composer.remote.directFollowUp":"로컬 변경 사항을 사용하지 마세요","composer.remote.errorLoadingBranches":"브랜치 불러오기 오류","composer.remote.fromBranch":"{branch}에서","composer.remote.fromCurrentBranch":"{branch}에서 (현재)","composer.remote.loadingMoreBranches":"불러오는 중...","composer.remote.localFileStateHeading":"로컬 파일 상태","composer.remote.localWorkingTree":"로컬 변경 사항 사용","composer.remote.startingPoint":"어떤 코드로 이 작업을 시작할까요?","composer.reviewMode.branches.error":"브랜치를 불러올 수 없습니다","composer.reviewMode.branches.retry":"다시 시도","composer.reviewMode.gitRoot.error":"Git 루트를 찾지 못했습니다","composer.reviewMode.option.baseBranch.simple":"기본 브랜치 검토","composer.reviewMode.option.unstaged.simple":"커밋하지 않은 변경 사항 검토","composer.reviewMode.quickReviewError":"코드 검토를 시작하지 못했습니다.","composer.reviewMode.title":"코드 검토","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml에 의해 전체 액세스가 비활성화되었습니다","composer.sandboxButton.windowsSandboxDialog.content":"Codex는 Windows에서 실험적인 샌드박스를 사용해 파일 시스템 및 네트워크 액세스를 제한합니다. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows 샌드박스를 활성화할까요?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"읽기 전용 사용","composer.searchEnvironments":"환경 찾기","composer.skillMentionList.app":"앱","composer.skillMentionList.loading":"스킬 불러오는 중…","composer.skillMentionList.noResults":"찾은 스킬이 없습니다","composer.slashCommands.cloudEnvironment.title":"클라우드 환경","composer.slashCommands.dialogLabel":"슬래시 커맨드 메뉴","composer.slashCommands.dialogTitle":"슬래시 커맨드","composer.slashCommands.disabledTooltip":"새 대화를 시작해 슬래시 커맨드를 사용하세요","composer.slashCommands.inputPlaceholder":"검색","composer.slashCommands.noResults":"커맨드 없음","composer.slashCommands.skillsGroup":"스킬","composer.slashCommands.tooltip":"슬래시 커맨드를 찾아보세요","composer.status.close":"닫기","composer.statusPlain.alertLabel":"경고:","composer.statusPlain.alertValue":"{window}에 {remaining}% 남음","composer.statusPlain.contextLabel":"컨텍스트:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} 사용/{total})","composer.statusPlain.contextValueRemaining":"{remaining}% 남음","composer.statusPlain.heading":"상태","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} 한도:","composer.statusPlain.rateLimitDays":"{count}일 한도","composer.statusPlain.rateLimitFallbackLabel":"요금 한도:","composer.statusPlain.rateLimitHours":"{count}시간 한도","composer.statusPlain.rateLimitLabelBase":"요금 한도","composer.statusPlain.rateLimitMinutes":"{count}분 한도","composer.statusPlain.rateLimitPercent":"{remaining}% 남음","composer.statusPlain.rateLimitReset":"{time} 초기화","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"초기화 시간 사용할 수 없음","composer.statusPlain.rateLimitUnavailable":"사용할 수 없음","composer.statusPlain.sessionCopiedAriaLabel":"세션 ID 복사됨","composer.statusPlain.sessionCopiedTooltip":"복사된 ID","composer.statusPlain.sessionCopyAriaLabel":"세션 ID 복사","composer.statusPlain.sessionCopyTooltip":"ID 복사","composer.statusPlain.sessionLabel":"세션:","composer.statusSlashCommand.description":"스레드 ID, 컨텍스트 사용량, 요금 한도를 표시합니다","composer.statusSlashCommand.title":"상태","composer.submit.blockedDialogOk":"확인","composer.submit.blockedDialogTitle":"메시지를 보내지 못했습니다","composer.submit.emptyMessage":"메시지를 입력해 시작하세요","composer.submit.imageInputsUnsupported":"이미지를 제거하거나 모델을 바꿔 이 메시지를 보내세요.","composer.submit.loadingLocalConfig":"불러오는 중...","composer.submit.missingCloudConfig":"반드시 클라우드 환경을 선택해야 합니다","composer.submit.missingCloudTurn":"이 작업을 팔로 업할 수 없습니다","composer.submit.noWorkspace":"프로젝트를 추가해 Codex를 사용하세요","composer.submit.waitForImageUploads":"이미지 업로드 중…","composer.submitButtonTooltip.send":"보내기","composer.submitButtonTooltip.stop":"중지하기","composer.worktreeEnvironment.create":"로컬 환경 생성","composer.worktreeEnvironment.default":"기본 환경","composer.worktreeEnvironment.error":"환경 불러오던 중 오류","composer.worktreeEnvironment.loading":"환경 불러오는 중...","composer.worktreeEnvironment.title":"로컬 환경","composer.worktreeEnvironment.tooltip":"로컬 환경 선택","composer.worktreeSetupFailed":"작업 트리 설정 실패. 설정 스크립트를 위해 .codex/environments를 확인하세요.","compoundButton.secondaryAction":"보조 액션","copyButton.copied":"복사됨","copyButton.copiedAriaLabel":"복사됨","copyButton.copy":"복사","copyButton.copyAriaLabel":"복사","copyButton.copyCode":"코드 복사","diff.actionButton.revertFile":"파일 되돌리기","diff.actionButton.revertHunk":"되돌리기","diff.actionButton.revertSection":"모두 되돌리기","diff.actionButton.revertSectionLabel":"모두 되돌리기","diff.actionButton.stageFile":"파일 스테이징","diff.actionButton.stageHunk":"스테이징","diff.actionButton.stageSection":"모두 스테이징","diff.actionButton.stageSectionLabel":"모두 스테이징","diff.actionButton.unstageFile":"파일 스테이징 해제","diff.actionButton.unstageHunk":"스테이징 해제","diff.actionButton.unstageSection":"모두 스테이징 해제","diff.actionButton.unstageSectionLabel":"모두 스테이징 해제","diff.fileHeader.toggle":"파일 diff 토글","electron.onboarding.login.apikey.cancel":"취소","electron.onboarding.login.apikey.continue":"계속","electron.onboarding.login.apikey.label":"OpenAI API 키","electron.onboarding.login.apikey.open":"API 키 입력","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"로그인 취소","electron.onboarding.login.chatgpt.continue":"ChatGPT로 계속하기","electron.onboarding.login.devbox":"원격 SSH에 연결","electron.onboarding.login.error":"로그인 실패: {rawMessage}","electron.onboarding.login.snake.start":"Snake 플레이","electron.onboarding.login.sshConfig.cancel":"취소","electron.onboarding.login.sshConfig.continue":"계속","electron.onboarding.login.sshConfig.hostnameLabel":"SSH 호스트 이름","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"에이전트 코딩을 시작하는 최고의 선택","electron.onboarding.login.title":"Codex에 오신 것을 환영합니다","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"계속","electron.onboarding.welcome.doubleLimits.description":"Codex 앱 출시를 기념해, 4월 2일까지 2배의 요금 한도가 제공됩니다.","electron.onboarding.welcome.freego.description":"3월 2일까지 플랜에 무료로 Codex가 포함됩니다 – 같이 코드 빌딩을 시작해 보시죠.","electron.onboarding.welcome.new.title.anon":"환영합니다!","electron.onboarding.workspace.continue":"계속","electron.onboarding.workspace.empty":"프로젝트를 추가해 계속하세요.","electron.onboarding.workspace.listLabel":"사용 가능한 프로젝트","electron.onboarding.workspace.loading":"프로젝트 불러오는 중…","electron.onboarding.workspace.openFolder":"프로젝트 추가","electron.onboarding.workspace.selectAll":"모두 선택","electron.onboarding.workspace.skip":"건너뛰기","electron.onboarding.workspace.skip.error":"새 프로젝트를 생성하지 못했습니다: {message}","electron.onboarding.workspace.skip.error.unknown":"알 수 없는 오류","electron.onboarding.workspace.skipping":"신규 프로젝트 생성 중…","electron.onboarding.workspace.subtitle":"Codex가 선택한 폴더에서 파일을 선택하고 명령을 실행할 수 있게 됩니다.","electron.onboarding.workspace.title":"프로젝트 선택","errorPage.list.checkSettings":"IDE 설정을 업데이트해 보세요","errorPage.list.configToml":"config.toml에 유효하지 않은 설정을 확인하세요","errorPage.list.downloadExtension":"확장 프로그램의 다른 버전을 다운로드해 보세요","errorPage.list.runInWsl":"호환성 문제가 발생한다면 설정을 확인해 WSL에서 실행을 비활성화하세요.","execApprovalRequest.menu.runAlways":"예, 이 세션에서 다시 묻지 마세요","execApprovalRequest.menu.runAlwaysWithAmendment":"네, 그리고 {command}(으)로 시작하는 커맨드에 대해 다시 묻지 않기","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"네, 그리고 다음으로 시작하는 커맨드에 대해 다시 묻지 않기:","execApprovalRequest.menu.runOnce":"예","execApprovalRequest.prompt":"이 커맨드를 실행할까요?","execApprovalRequest.reject":"아니요","execFooter.exitCode":"코드 종료 {code}","execFooter.exitCode.unknown":"알 수 없음","execFooter.success":"성공","feedback.dialog.category.badResult":"좋지 않은 결과","feedback.dialog.category.bug":"버그","feedback.dialog.category.goodResult":"좋은 결과","feedback.dialog.category.other":"기타","feedback.dialog.descriptionPlaceholder":"여기에 문제에 대해 설명해 주세요","feedback.dialog.dismiss":"무시","feedback.dialog.includeLogsLabel":"현재 Codex 세션 로그 포함","feedback.dialog.submit":"제출","feedback.dialog.submitError":"피드백을 제출하지 못했습니다. 잠시 후 다시 시도해 주세요.","feedback.dialog.title":"피드백","feedback.dialog.uploadedMessage.existingIssue":"현재 열려 있는 이슈","feedback.dialog.uploadedMessage.openIssue":"GitHub 이슈 열기","feedback.dialog.uploadedMessage.withThread":"피드백이 업로드되었습니다. 문제가 지속되면 {openIssueLink} 또는 {existingIssueLink} 내 스레드에 멘션하세요:","feedback.dialog.uploadedTitle":"피드백 업로드됨","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} 제거","header.back":"뒤로","header.recentChats":"작업","header.recentTasks.seeAll":"모두 보기({total})","home.header.getPlus":"Plus 이용하기","home.hero.letsBuild":"만들어 볼까요","homePage.mainContent":"메인 콘텐츠","imageAttachment.defaultName":"이미지","imageAttachment.preview.close":"이미지 미리 보기 닫기","imageAttachment.removeAriaLabel":"{filename} 제거","implementPlanRequest.option.implement":"네, 이 계획을 적용합니다","implementPlanRequest.prompt":"이 계획을 적용할까요?","inbox.archived.deleteError":"아카이브에 보관된 실행을 삭제할 수 없습니다","inbox.archived.deleteRun":"아카이브에 보관된 실행 삭제","inbox.archived.deleteSuccess":"아카이브에 보관된 스레드를 삭제했습니다. <settingsLink>아카이브 보관된 스레드</settingsLink>에서 보세요.","inbox.archived.inlineLabel.auto":"이 스레드는 자동으로 아카이브에 보관되었습니다. <learnMoreLink>자세히 알아보기</learnMoreLink>","inbox.archived.inlineLabel.manual":"이 스레드가 아카이브에 보관되었습니다.","inbox.archived.noMessageFound":"찾은 메시지 없음","inbox.automations.createError":"자동화를 생성하지 못했습니다","inbox.automations.deleteConfirm.cancel":"취소","inbox.automations.deleteConfirm.confirm":"자동화 삭제","inbox.automations.deleteConfirm.description":"자동화를 영구적으로 삭제하며 향후 실행을 중지합니다.","inbox.automations.deleteConfirm.title":"{name}을(를) 삭제할까요?","inbox.automations.deleteError":"자동화를 삭제할 수 없습니다","inbox.automations.editTooltip":"자동화 편집","inbox.automations.inProgress":"진행 중","inbox.automations.new":"신규","inbox.automations.newToolbar":"신규 자동화","inbox.automations.pauseTooltip":"자동화 일시 정지","inbox.automations.resumeTooltip":"자동화 다시 시작","inbox.automations.startingNow":"지금 시작 중","inbox.automations.startsIn":"{startTime} 후 시작","inbox.automations.status.active":"활성","inbox.automations.status.paused":"일시 정지됨","inbox.automations.status.runs":"{count}개의 실행","inbox.automations.status.started":"시작한 날짜 {date}","inbox.automations.updateError":"자동화를 업데이트하지 못했습니다","inbox.automations.workspaceFallback":"-","inbox.filter.all":"모두","inbox.filter.ariaLabel":"받은 편지함 항목 필터링","inbox.filter.unread":"읽지 않음","inbox.list.archived":"아카이브에 보관됨","inbox.list.inProgress":"진행 중","inbox.list.recent":"완료","inbox.list.upNext":"일정 예약됨","inbox.mode.automations":"자동화","inbox.mode.automations.beta":"베타","inbox.noDescription":"제공된 설명 없음","inbox.openThread":"스레드 열기","inbox.rightPanel.emptySubtitle":"작업 예약을 설정해 업무를 자동화하세요","inbox.rightPanel.emptySubtitle.learnMore":"스레드 예약을 설정해 업무를 자동화하세요. <link>자세히 알아보기</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {#개의 활성화된 자동화}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"읽지 않은 자동화 없음","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {#개의 읽지 않은 자동화}}","inbox.rightPanel.emptyTitle":"선택된 항목 없음","inbox.rightPanel.noThread":"이 항목의 스레드가 없습니다","inbox.rightPanel.quickStart.header":"템플릿으로 시작하기","inbox.untitled":"제목 없는 받은 편지함 항목","loadingPage.documentationLink":"문서","loadingPage.errorDescription":"Codex가 다음 오류로 충돌했습니다:","loadingPage.errorDescription.documentation":"다시 불러오기를 클릭해 Codex 확장 프로그램을 다시 시작하거나, {documentationLink}에서 추가 도움을 받으세요.","loadingPage.errorSignal":"시도해 볼 만한 것들:","loadingPage.errorTitle":"오류가 발생했습니다","loadingPage.openConfigToml":"Config.toml 열기","loadingPage.reload":"다시 불러오기","localConversation.contextCompacted":"컨텍스트가 자동으로 압축되었습니다","localConversation.contextCompacting":"자동으로 컨텍스트를 압축하는 중","localConversation.forkedFromConversation":"{threadTitle}(으)로부터 포크됨","localConversation.merge.autoResolve.failed":"자동 해결 요청 실패: {error}","localConversation.merge.autoResolve.sent":"자동 해결 요청 전송됨","localConversation.merge.autoResolveMerge.missingConversation":"활성화된 대화가 없어 자동으로 해결할 수 없습니다.","localConversation.merge.autoResolveMerge.request":"병합 충돌 자동 해결","localConversation.modelChanged":"{fromModel}에서 {toModel}(으)로 모델이 변경되었습니다.","localConversation.modelChanged.warning.line1":"대화 중 모델을 변경하면 성능이 떨어질 수 있습니다.","localConversation.modelChanged.warning.line2":"컨텍스트가 자동으로 압축될 수 있습니다.","localConversation.moveThread.createBranch.label":"브랜치 생성하기","localConversation.moveToLocal.disabled.loading":"불러오는 중...","localConversation.moveToLocal.modal.continue":"계속","localConversation.moveToLocal.modal.destinationLabel":"다음으로 이동","localConversation.moveToLocal.modal.retry":"다시 시도","localConversation.moveToWorktree.modal.back":"뒤로","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"이미 존재하는 브랜치입니다.","localConversation.moveToWorktree.modal.branchesError":"브랜치를 불러올 수 없습니다","localConversation.moveToWorktree.modal.branchesLoading":"브랜치 불러오는 중…","localConversation.moveToWorktree.modal.branchesRetry":"다시 시도","localConversation.moveToWorktree.modal.continue":"계속","localConversation.moveToWorktree.modal.retry":"다시 시도","localConversation.moveToWorktree.modal.trailingSlashError":'브랜치 이름은 "/"로 끝날 수 없습니다.',"localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"새 브랜치","localConversation.personalityChanged":"{personality} 성격으로 전환","localConversation.planSummary.collapse":"플랜 요약 축소","localConversation.planSummary.collapseTooltip":"축소","localConversation.planSummary.download":"플랜 다운로드","localConversation.planSummary.expand":"플랜 요약 확장","localConversation.planSummary.expandTooltip":"펼치기","localConversation.planSummary.openInNewWindow":"열기","localConversation.planSummary.openInNewWindow.tooltip":"새 창에서 열기","localConversation.planSummary.title":"플랜","localConversation.planSummary.titleWriting":"계획 쓰는 중","localConversation.planSummary.viewPlan":"플랜 확장","localConversation.remoteTaskCreated":"Codex 클라우드에서 {taskLink} 생성됨","localConversation.remoteTaskCreated.task":"작업","localConversation.scrollToBottomButton":"맨 아래로 스크롤","localConversation.sync.buttonLabel":"로컬로 핸드오프","localConversation.sync.buttonLabel.tooltip":"이 작업 트리와 로컬 체크아웃 간의 변경 사항을 핸드오프합니다.","localConversation.sync.modal.loading.title":"변경 사항 핸드오프 중…","localConversation.sync.modal.noChanges":"변경 사항 없음","localConversation.syncSetup.branchAriaLabel":"브랜치 이름","localConversation.syncSetup.branchName":"브랜치 이름","localConversation.syncSetup.branchPlaceholder.existing":"기존에 있는 브랜치를 선택하세요","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"브랜치 불러오는 중…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"이미 체크아웃됨","localConversation.syncSetup.checkoutClean":"현재 {branchName}","localConversation.syncSetup.checkoutDirty":"현재 커밋하지 않은 변경 사항 있음, {branchName}","localConversation.syncSetup.checkoutError":"브랜치를 체크아웃하지 못했습니다: {message}","localConversation.syncSetup.checkoutLabel":"지금 로컬로 체크아웃","localConversation.syncSetup.checkoutOnLocal":"로컬로 핸드오프","localConversation.syncSetup.checkoutPending":"로컬 상태 확인 중…","localConversation.syncSetup.checkoutUnavailable":"로컬 워크스페이스 사용할 수 없음","localConversation.syncSetup.checkoutUnknown":"로컬 브랜치 사용할 수 없음","localConversation.syncSetup.continue":"계속","localConversation.syncSetup.createBranchError":"핸드오프 브랜치를 설정하지 못했습니다: {message}","localConversation.syncSetup.error":"문제가 발생했습니다: {message}","localConversation.syncSetup.error.workingTreeMissing":"작업 트리를 스냅샷하지 못했습니다. 핸드오프를 다시 시도해 보세요.","localConversation.syncSetup.mode.ariaLabel":"브랜치 모드 선택","localConversation.syncSetup.mode.existing":"기존 브랜치","localConversation.syncSetup.mode.new":"새 브랜치","localConversation.syncSetup.noBranches":"찾은 브랜치 없음","localConversation.syncSetup.overwriteError":"브랜치를 생성했으나 완전히 핸드오프되지 않았습니다. 로컬로 체크아웃하기 전 수동으로 핸드오프하세요.","localConversation.syncSetup.setPrefix":"접두사 설정","localConversation.syncSetup.subtitle":"로컬로 작업 트리 변경 사항을 테스트 및 편집하세요. <a>자세히 알아보기</a>","localConversation.syncSetup.success.checkedOut":"브랜치가 생성되었으며 로컬로 체크아웃되었습니다","localConversation.syncSetup.success.notCheckedOut":"브랜치가 생성되었습니다","localConversation.syncSetup.title":"로컬 브랜치로 핸드오프","localConversation.syncWorktreeError.branchAriaLabel":"브랜치 이름","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"핸드오프할 브랜치를 선택한 뒤 변경 사항 불러오기를 다시 시도하세요.","localConversation.syncWorktreeError.branchSetup.title":"브랜치 업데이트","localConversation.syncWorktreeError.branchUpdate.cta":"업데이트한 뒤 다시 시도","localConversation.syncWorktreeError.branchUpdate.error":"브랜치 업데이트를 하지 못했습니다: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"문제가 발생했습니다: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"아무 작업 트리에서도 브랜치가 체크아웃되지 않았습니다.","localConversation.syncWorktreeV2.applyUncommitted":"적용","localConversation.syncWorktreeV2.applyUncommitted.disabled":"커밋하지 않은 변경 사항을 적용하려면 브랜치를 로컬로 체크아웃해야 합니다","localConversation.syncWorktreeV2.branches.empty":"찾은 브랜치 없음","localConversation.syncWorktreeV2.branches.loading":"브랜치 불러오는 중…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"핸드오프 브랜치 변경","localConversation.syncWorktreeV2.changeBranch.error":"핸드오프 브랜치 변경을 하지 못했습니다: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"적용 실패","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"작업 트리 덮어쓰기 실패","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"로컬 덮어쓰기 실패","localConversation.syncWorktreeV2.commandError.back":"뒤로","localConversation.syncWorktreeV2.commandError.body":"핸드오프 중 깃 커맨드가 실패했습니다. 출력을 검토하고 다시 시도하세요.","localConversation.syncWorktreeV2.commandError.retry":"다시 시도","localConversation.syncWorktreeV2.description":"로컬 및 이 작업 트리 사이에 변경 사항을 핸드오프합니다 <a>자세히 알아보세요</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"핸드오프 방향 선택","localConversation.syncWorktreeV2.error.generic":"핸드오프 중 문제가 발생했습니다. 다시 시도하세요.","localConversation.syncWorktreeV2.localBranchLabel":"로컬","localConversation.syncWorktreeV2.noChanges":"변경 사항 계산 중","localConversation.syncWorktreeV2.noChanges.summary":"변경 사항 없음","localConversation.syncWorktreeV2.overwrite.local":"로컬 덮어쓰기","localConversation.syncWorktreeV2.overwrite.worktree":"작업 트리 덮어쓰기","localConversation.syncWorktreeV2.partial.action.applyFailed":"변경 사항을 적용할 수 없습니다","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"로컬 변경 사항을 덮어쓰지 못했습니다","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"작업 트리 변경 사항을 덮어쓰지 못했습니다","localConversation.syncWorktreeV2.partial.appliedLabel":"적용됨","localConversation.syncWorktreeV2.partial.back":"뒤로","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"충돌을 해결하고 다시 시도하세요.","localConversation.syncWorktreeV2.partial.conflictsLabel":"충돌","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {#개의 파일}}","localConversation.syncWorktreeV2.partial.retry":"다시 시도","localConversation.syncWorktreeV2.partial.skippedLabel":"건너뜀","localConversation.syncWorktreeV2.stateFailed.generic":"핸드오프를 위해 작업 트리 변경 사항을 가져오던 중 문제가 발생했습니다. 다시 시도해 주세요.","localConversation.syncWorktreeV2.stateFailed.title":"작업 트리 변경 사항을 불러오지 못했습니다","localConversation.syncWorktreeV2.statusError.diffUnknown":"작업 트리 변경 사항을 불러오지 못했습니다.","localConversation.syncWorktreeV2.statusError.retry":"다시 시도","localConversation.syncWorktreeV2.statusError.title":"로컬 브랜치 변경 사항을 가져올 수 없습니다","localConversation.syncWorktreeV2.statusError.unknown":"현재 브랜치 상태를 사용할 수 없습니다. 다시 시도하세요.","localConversation.syncWorktreeV2.success.apply":"변경 사항을 적용했습니다","localConversation.syncWorktreeV2.success.overwrite":"핸드오프 성공","localConversation.syncWorktreeV2.title":"변경 사항 핸드오프","localConversation.syncWorktreeV2.worktreeLabel":"작업 트리","localConversation.userInputRequest.inProgress":"{count, plural, other {개의 질문}} 묻는 중","localConversation.userInputRequest.noAnswer":"제공된 답변 없음","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"요청함","localConversation.userInputRequest.summary.count":"{count, plural, other {#개의 질문}}","localConversation.workedFor":"{time} 동안 작업","localConversation.worktreeBranchSetup.action.create":"만들기","localConversation.worktreeBranchSetup.branchAriaLabel":"브랜치 이름","localConversation.worktreeBranchSetup.branchPlaceholder.new":"새 브랜치 만들기","localConversation.worktreeBranchSetup.checkoutDisabled":"이 브랜치는 이미 {location}에서 체크아웃되었습니다","localConversation.worktreeBranchSetup.checkoutError":"브랜치를 체크아웃하지 못했습니다: {message}","localConversation.worktreeBranchSetup.createBranchError":"브랜치를 설정하지 못했습니다: {message}","localConversation.worktreeBranchSetup.error":"문제가 발생했습니다: {message}","localConversation.worktreeBranchSetup.subtitle":"브랜치를 생성해 이 작업 트리에서 변경 사항을 커밋하고, 푸시하고, PR을 생성합니다. <a>자세히 알아보기</a>","localConversation.worktreeBranchSetup.title":"여기서 작업하세요","localConversationPage.addWorktreeToSidebar.tooltip":"프로젝트로 저장해 해당 작업 트리에서 새 스레드를 시작하세요","localConversationPage.addWorktreeToSidebarError":"프로젝트에 추가하지 못했습니다","localConversationPage.commitAndCreatePrModal.errorTitle":"커밋하고 PR 생성 실패","localConversationPage.commitAndCreatePrModal.successTitle":"커밋하고 PR 생성됨","localConversationPage.commitAndPushModal.errorTitle":"커밋하고 푸시 실패","localConversationPage.commitAndPushModal.successTitle":"커밋하고 푸시한 변경 사항","localConversationPage.commitCreatePr.open":"pull 요청 보기","localConversationPage.commitCreatePr.successTitle":"최신 변경 사항으로 PR 생성함","localConversationPage.createBranchButtonLabel":"여기에 브랜치","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR 만들기","localConversationPage.createPrModal.createDescription":"최신 변경 사항에 pull 요청을 엽니다.","localConversationPage.createPrModal.errorTitle":"Pull 요청 실패","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR 열기","localConversationPage.createPrModal.successTitle":"Pull 요청이 생성되었습니다","localConversationPage.createPrModal.title":"Pull 요청 생성하기","localConversationPage.createPrModal.viewDescription":"이 브랜치에는 이미 pull 요청이 있습니다.","localConversationPage.createPrModal.viewTitle":"Pull 요청 준비됨","localConversationPage.createPullRequestAuthGh":"GitHub CLI 인증: `gh auth login` 실행","localConversationPage.createPullRequestBranchMissing":"브랜치 정보 이용할 수 없음","localConversationPage.createPullRequestButtonLabel":"PR 만들기","localConversationPage.createPullRequestButtonLabel.loading":"PR 생성 중…","localConversationPage.createPullRequestDefaultBranchMissing":"기본 브랜치 정보 이용할 수 없음","localConversationPage.createPullRequestError":"Pull 요청을 생성하지 못했습니다","localConversationPage.createPullRequestExistingPullRequest":"이 브랜치에는 이미 pull 요청이 있습니다","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI 상태 불러오는 중…","localConversationPage.createPullRequestInstallGh":"GitHub CLI(gh)를 설치해 PR을 생성하세요","localConversationPage.createPullRequestNoRepo":"찾은 깃 저장소가 없습니다","localConversationPage.createPullRequestPushStatusMissing":"푸시 상태 불러오는 중…","localConversationPage.createPullRequestSetUpstream":"PR을 생성하기 전에 이 브랜치를 푸시하세요","localConversationPage.createPullRequestSuccessToast":"Pull 요청이 생성되었습니다","localConversationPage.createPullRequestSwitchBranch":"PR을 생성하기 전에 기능 브랜치를 체크아웃하세요","localConversationPage.error.render":"로컬 대화 렌더링 오류","localConversationPage.error.toast":"대화를 찾을 수 없음","localConversationPage.forcePushError":"강제 푸시 실패","localConversationPage.generatePullRequestMessageError":"Pull 요청 제목 및 본문 생성 실패","localConversationPage.generatePullRequestMessageFailed":"Pull 요청 제목 및 본문을 생성하지 못했습니다.","localConversationPage.gitActionResult.branch":"브랜치","localConversationPage.gitActionResult.cancel":"취소","localConversationPage.gitActionResult.close":"닫기","localConversationPage.gitActionResult.tryAgain":"다시 시도하기","localConversationPage.gitActions":"깃 액션","localConversationPage.newChat":"새 채팅","localConversationPage.openInTarget":"다음에서 열기","localConversationPage.openPrimaryTarget":"열기","localConversationPage.planItemsCompleted":"{totalItems, plural, other {#개의 작업 완료}} 중 {completedItems}","localConversationPage.pushAuthError":"푸시 실패: 인증 필요","localConversationPage.pushBranchMissing":"브랜치 정보 이용할 수 없음","localConversationPage.pushButtonLabel":"푸시","localConversationPage.pushButtonLabel.loading":"푸시 중…","localConversationPage.pushError":"변경 사항을 푸시하지 못했습니다","localConversationPage.pushModal.branchLabel":"브랜치","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"취소","localConversationPage.pushModal.confirm":"푸시","localConversationPage.pushModal.description":"원격 저장소에 최신 커밋을 푸시합니다.","localConversationPage.pushModal.errorTitle":"푸시 실패","localConversationPage.pushModal.forcePush":"푸시 강제","localConversationPage.pushModal.successTitle":"푸시 완료","localConversationPage.pushModal.title":"변경 사항 푸시","localConversationPage.pushModal.tryAgain":"다시 시도하기","localConversationPage.pushNoUpstream":"이 브랜치를 푸시하기 전에 업스트림을 설정하세요","localConversationPage.pushNoUpstreamError":"푸시 실패: 구성된 업스트림 없음","localConversationPage.pushNothingToPush":"푸시할 새 커밋이 없습니다","localConversationPage.pushRemoteChangedError":"푸시 실패: 원격에 새 커밋이 있음","localConversationPage.pushRemoteRejectedError":"원격에 의해 푸시 거부됨","localConversationPage.pushStatusMissing":"푸시 상태 불러오는 중…","localConversationPage.pushSuccessToast":"푸시된 변경 사항","localConversationPage.viewPullRequestButtonLabel":"PR 보기","localConversationPage.viewPullRequestButtonLabel.loading":"Pull 요청 불러오는 중…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {#개의 파일}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {#개의 목록}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {검색 #건}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"탐색 중","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"탐색 마침","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} 탐색 마침","localConversationTurnStory.showContent":"콘텐츠 보기","localConversationTurnStory.streamContent":"콘텐츠 스트리밍","localConversationTurnStory.toggleReasoning":"이성 표시","localTaskRow.archiveError":"대화를 아카이브에 보관하지 못했습니다","localTaskRow.resumeError":"작업을 다시 시작하지 못했습니다","mermaidDiagram.ariaLabel":"Mermaid 다이어그램","mermaidDiagram.copySource":"mermaid 복사","mermaidDiagram.originalCode":"Mermaid 소스 코드","notifications.permissions.description":"알림 권한이 필요할 때 알림을 표시합니다","notifications.permissions.label":"권한 알림 활성화","notifications.turnMode.always":"항상","notifications.turnMode.description":"끝났을 때 Codex가 알리도록 설정합니다","notifications.turnMode.label":"완료 알림 켜기","notifications.turnMode.off":"절대 안 함","notifications.turnMode.unfocused":"집중하지 않았을 때만","patchApprovalRequest.approve":"승인","patchApprovalRequest.menu.allowAlways":"예, 이 세션에서 다시 묻지 마세요","patchApprovalRequest.menu.allowForSession":"예, 이 세션에서 다시 묻지 마세요","patchApprovalRequest.menu.allowOnce":"예","patchApprovalRequest.prompt":"이 변경 사항을 적용할까요?","patchApprovalRequest.reject":"아니요","patchApprovalRequest.waitingForApproval":"파일 편집 승인을 기다리는 중","pendingRequest.approvalExec.collapse":"축소","pendingRequest.approvalExec.expand":"펼치기","pendingRequestStory.toastAnswer":"답변: {answer}","pendingRequestStory.toastApprovalTitle":"승인 응답","pendingRequestStory.toastFollowupPrompt":"프롬프트: {prompt}","pendingRequestStory.toastFollowupTitle":"후속 처리 전송 완료","pendingRequestStory.toastNoAnswers":"제공된 답변 없음","pendingRequestStory.toastQuestion":"질문: {question}","pendingRequestStory.toastUnknownDecision":"알 수 없음","pendingRequestStory.toastUserInputTitle":"제출된 답변","quickAction.request.codeReview.branches.new":"{from}에서 {to}에 비교한 변경 사항을 검토하세요","quickAction.request.codeReview.uncommitted.new":"커밋되지 않은 변경 사항을 검토해 주세요","reasoningItem.thinking":"생각 중","reasoningItem.thought":"생각함","reasoningItem.thoughtWithElapsed":"{elapsed} 동안 생각","recentConversations.title":"최근 대화","recentTasks.worktreeInitFailedTitle":"작업 트리 개시 실패","recentTasks.worktreeSettingUpTitle":"작업 트리 설정 중","requestInputPanel.continue":"계속","requestInputPanel.dismiss":"무시","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"여기에 입력","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"아니요, Codex에게 다르게 해야 할 내용을 설명해 주세요","requestInputPanel.selectedBadge":"선택됨","requestInputPanel.skip":"건너뛰기","requestInputPanel.submit":"제출","review.commit.ariaLabel.includeUnstaged":"스테이징되지 않은 사항 포함","review.commit.buttonLabel":"커밋","review.commit.disabled.committing":"커밋 중…","review.commit.disabled.loadingDiff":"diff 로드 중…","review.commit.disabled.missingContext":"컨텍스트를 추가해 커밋 메시지를 생성하세요","review.commit.disabled.noChanges":"커밋할 변경 사항이 없습니다","review.commit.disabled.noSelection":"커밋할 변경 사항을 선택하세요","review.commit.disabled.unavailable":"현재는 커밋할 수 없습니다","review.commit.error":"변경 사항을 커밋하지 못했습니다","review.commit.form.changesToBeCommitted":"개의 변경 사항","review.commit.form.commitTo":"브랜치","review.commit.form.commitTo.none":"-","review.commit.form.continue":"계속","review.commit.form.title":"변경 사항을 커밋하세요","review.commit.generate.emptyResponse":"커밋 메시지를 생성하지 못했습니다.","review.commit.generate.failed":"커밋 메시지 생성 실패: {error}","review.commit.generate.missingPrompt":"컨텍스트를 추가해 커밋 메시지를 생성하세요.","review.commit.includeUnstaged":"스테이징되지 않은 사항 포함","review.commit.loading.description":"잠깐 기다리세요, 시간이 약간 걸립니다…","review.commit.loading.step.commit.done":"커밋한 변경 사항","review.commit.loading.step.commit.pending":"변경 사항 커밋 중","review.commit.loading.step.createPr.done":"Pull 요청 생성됨","review.commit.loading.step.createPr.pending":"Pull 요청 생성 중","review.commit.loading.step.push.done":"브랜치 {branch}(으)로 푸시함","review.commit.loading.step.push.pending":"브랜치 {branch}(으)로 푸시하는 중","review.commit.loading.title.commit":"변경 사항 커밋 중","review.commit.loading.title.createPr":"PR 생성 중","review.commit.loading.title.push":"변경 사항 푸시하는 중","review.commit.messageLabel":"메시지 커밋","review.commit.messagePlaceholder":"커밋 메시지를 자동 생성하려면 공란으로 남겨 두세요","review.commit.nextSteps":"다음 단계","review.commit.nextSteps.commit":"커밋","review.commit.nextSteps.commitAndCreate":"커밋하고 PR 생성","review.commit.nextSteps.commitAndPush":"커밋하고 푸시","review.commit.nextSteps.prRequiresGh":"필요한 GitHub CLI : {command}","review.commit.rows.changes":"개의 변경 사항","review.commit.rows.commitCount":"{count, plural, other {#개의 커밋}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {#개의 커밋}} 및 {stats}","review.commit.rows.fileCount":"{count, plural, other {#개의 파일}}","review.commit.state.error.body":"커밋 중 문제가 발생했습니다. 깃 상태를 확인하고 다시 시도하세요.","review.commit.state.error.title":"커밋 실패함","review.commit.state.success.title":"변경 사항 커밋됨","review.commit.untracked.loadingStats":"추적되지 않은 변경 사항의 diff 통계를 불러오는 중...","reviewFindingAttachments.count":"{count, plural, other {#개의 결과}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"구성을 편집해 에이전트 행동을 맞춤 설정하세요","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"편집한 뒤 Codex를 다시 시작해 변경 사항을 적용하세요","settings.agent.configuration.subtitle":"이 설정은 Codex가 사용되는 모든 곳에 적용됩니다","settings.automations.banner.danger":"자동화가 현재 전체 액세스로 설정된 기본 샌드박스 설정으로 실행됩니다. 전체 액세스 상태에서 백그라운드 자동화를 실행하면 위험도가 높아질 수 있으며, Codex가 별도의 확인 없이 파일을 수정하거나 명령을 실행하고 네트워크에 접근할 수 있습니다. 샌드박스 설정을 워크스페이스 쓰기로 변경하고, <rulesDocsLink>규칙</rulesDocsLink>을 사용해 에이전트가 전체 액세스 권한으로 실행할 수 있는 명령을 선택적으로 정의하는 것을 고려해 보세요.","settings.automations.banner.defaultHowTo.default":"자동화가 기본 샌드박스 설정으로 실행됩니다. 워크스페이스 외부의 파일을 수정하거나, 네트워크에 접근하거나, 컴퓨터의 앱과 상호작용해야 하는 경우 도구 호출이 실패합니다. <rulesDocsLink>규칙</rulesDocsLink>을 사용하면 샌드박스 외부에서 실행할 수 있는 명령을 선택적으로 허용 목록에 추가할 수 있습니다.","settings.automations.banner.defaultHowTo.readOnly":"자동화가 읽기 전용으로 설정된 기본 샌드박스 설정으로 실행됩니다. 파일 수정, 네트워크 접근, 또는 컴퓨터의 앱과의 작업이 필요한 경우 도구 호출이 실패합니다. 샌드박스 설정을 워크스페이스 쓰기로 변경하는 것을 고려해 보세요.","settings.automations.cancel":"취소","settings.automations.create":"만들기","settings.automations.cwdEmpty":"사용 가능한 프로젝트 폴더 없음","settings.automations.cwdLabel":"프로젝트","settings.automations.cwdPlaceholder":"폴더를 선택하세요","settings.automations.cwdSubtitle":"특정 브랜치에서 자동화를 하려면 프롬프트에 명시해 주세요.","settings.automations.delete":"삭제","settings.automations.dialog.editTitle":"자동화 편집","settings.automations.dialog.newTitle":"신규 자동화","settings.automations.dialog.subtitle":"백그라운드에서 반복적인 작업을 자동화하세요. Codex가 받은 편지함에 찾은 결과를 추가하거나 보고할 내용이 없는 경우 자동으로 작업을 아카이브에 보관합니다. <learnMoreLink>자세히 알아보기</learnMoreLink>","settings.automations.dialog.title":"자동화 만들기","settings.automations.executionCopy.git":"전용 작업 트리의 백그라운드에서 자동화가 실행됩니다.","settings.automations.executionCopy.nonGit":"비버전 제어 프로젝트 내 자동화가 프로젝트 디렉토리에서 곧바로 실행됩니다. 깃을 사용해 백그라운드 작업 트리에서 실행 활성화하는 것을 고려해 보세요.","settings.automations.executionEnvironment.local":"로컬","settings.automations.executionEnvironment.worktree":"작업 트리","settings.automations.loading":"불러오는 중...","settings.automations.nameLabel":"이름","settings.automations.namePlaceholder":"Sentry 문제 확인","settings.automations.pause":"일시 정지","settings.automations.promptLabel":"프롬프트","settings.automations.promptPlaceholder":"$Sentry의 충돌 찾기","settings.automations.resume":"다시 시작","settings.automations.rruleSummaryFallback":"일정 맞춤 지정","settings.automations.runNow":"테스트","settings.automations.save":"저장","settings.automations.scheduleBadge.dayCount":"{count}일","settings.automations.scheduleBadge.interval":"{count}시간","settings.automations.scheduleBadge.weekdays":"주중","settings.automations.scheduleBadge.weekends":"주말","settings.automations.scheduleHeader":"일정 예약","settings.automations.scheduleHours":"시간","settings.automations.scheduleLabel":"다음 간격으로 실행","settings.automations.scheduleMode.daily":"매일","settings.automations.scheduleMode.interval":"간격","settings.automations.scheduleModeLabel":"일정 예약 유형","settings.automations.scheduleSummary.daily":"매일 {time}에","settings.automations.scheduleSummary.interval":"{count}시간마다","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {#일}}","settings.automations.scheduleSummary.intervalDays":"{interval}({days})","settings.automations.scheduleSummary.intervalHourly":"매 시간","settings.automations.scheduleSummary.singleDay":"{day} {time}에","settings.automations.scheduleSummary.weekdays":"주중 {time}","settings.automations.scheduleSummary.weekdaysLabel":"주중","settings.automations.scheduleSummary.weekends":"주말 {time}","settings.automations.scheduleSummary.weekendsLabel":"주말","settings.automations.scheduleSummary.weekly":"{days} {time}에","settings.automations.scheduleWeekdays":"켜짐","settings.automations.weekdayState.excluded":"제외됨","settings.automations.weekdayState.included":"포함됨","settings.conversationDetail.steps":"단계","settings.conversationDetail.steps.description":"커맨드 및 출력 숨기기","settings.conversationDetail.stepsWithCommands":"코드 커맨드 단계","settings.conversationDetail.stepsWithCommands.description":"커맨드 보기, 출력 축소","settings.conversationDetail.stepsWithOutput":"코드 출력 단계","settings.conversationDetail.stepsWithOutput.description":"커맨드 보기 및 출력 확장","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"아카이브에 보관된 채팅이 없습니다.","settings.dataControls.archivedChats.error":"아카이브에 보관된 채팅을 불러오지 못했습니다.","settings.dataControls.archivedChats.loading":"아카이브에 보관된 채팅 불러오는 중…","settings.dataControls.archivedChats.unarchive":"아카이브 보관 취소하기","settings.dataControls.archivedChats.unarchiveError":"채팅의 아카이브 보관을 취소하지 못했습니다","settings.dataControls.archivedChats.unarchiveSuccess":"아카이브 보관 취소된 스레드. <viewNowLink>지금 보기</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"아카이브 보관 취소된 스레드.","settings.dataControls.archivedChats.untitled":"제목 없는 채팅","settings.dataControls.archivedChats.viewNow":"지금 보기","settings.editRow.headerPlaceholder":"키","settings.editRow.removeEntry":"항목 제거","settings.editRow.valuePlaceholder":"값","settings.general.appearance":"보기","settings.general.appearance.codeFont":"코드 서체","settings.general.appearance.codeFont.description":"채팅, diff에서 코드에 사용한 서체와 크기를 바꿉니다","settings.general.appearance.codeFontFamily":"코드 서체군","settings.general.appearance.codeFontSize":"코드 서체 크기","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"시스템 투명도 대신 창이 뚜렷한 배경으로 나타납니다","settings.general.appearance.opaqueWindows.label":"불투명한 창 배경 사용","settings.general.appearance.sansFontFamily":"Sans 서체군","settings.general.appearance.sansFontFamily.description":"Codex UI에 사용할 서체를 변경합니다","settings.general.appearance.sansFontSize":"Sans 서체 크기","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark가 첫 번째 턴을 실행하는 동안 전체 창 축하 효과를 표시합니다","settings.general.appearance.sparkCelebrationEffects.label":"Spark 축하 효과","settings.general.appearance.theme":"테마","settings.general.appearance.theme.dark":"다크 모드","settings.general.appearance.theme.description":"라이트, 다크, 또는 시스템에 맞춘 테마를 사용하세요","settings.general.appearance.theme.light":"라이트 모드","settings.general.appearance.theme.system":"시스템","settings.general.appearance.usePointerCursors.description":"상호작용 요소에 마우스를 올리면 커서가 포인터로 변경됩니다","settings.general.appearance.usePointerCursors.label":"포인터 커서 사용","settings.general.enterBehavior.description":"활성화하면 여러 줄의 프롬프트는 {modifierSymbol} + Enter로 보내야 합니다.","settings.general.enterBehavior.label":"긴 프롬프트를 보내려면 {modifierSymbol} + Enter 필요","settings.general.experimentalFeatures":"실험적 기능(베타)","settings.general.experimentalFeatures.empty":"사용할 수 있는 베타 버전의 실험적 기능이 없습니다.","settings.general.experimentalFeatures.loading":"실험적 기능 불러오는 중...","settings.general.experimentalFeatures.restartNote":"Codex를 다시 시작하여 실험적 기능 변경을 적용하세요.","settings.general.experimentalFeatures.toggle":"{featureName} 토글","settings.general.followUpQueueMode.description":"Codex가 실행 중일 때 후속 행동을 대기열에 추가하거나 또는 현재 실행을 스티어링합니다. {invertFollowUpShortcutLabel}을(를) 눌러 한 메시지에는 반대로 실행합니다.","settings.general.followUpQueueMode.interrupt":"스티어링","settings.general.followUpQueueMode.label":"후속 행동","settings.general.followUpQueueMode.queue":"대기열 추가","settings.general.notifications":"알림","settings.general.power.preventSleepWhileRunning.description":"Codex가 스레드를 실행할 때는 컴퓨터를 재우지 마세요.","settings.general.power.preventSleepWhileRunning.label":"실행 중 절전 모드 방지","settings.git.branchPrefix.ariaLabel":"브랜치 접두사","settings.git.branchPrefix.description":"Codex에서 새 브랜치 생성 시 접두사 사용","settings.git.branchPrefix.label":"브랜치 접두사","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"브랜치 접두사를 저장하지 못했습니다","settings.git.branchPrefix.save.success":"브랜치 접두사를 저장했습니다","settings.git.commitInstructions.ariaLabel":"커밋 지침","settings.git.commitInstructions.description":"커밋 메시지 생성 프롬프트에 추가되었습니다","settings.git.commitInstructions.label":"커밋 지침","settings.git.commitInstructions.placeholder":"커밋 메시지 가이드를 추가하세요…","settings.git.commitInstructions.save":"저장","settings.git.commitInstructions.save.error":"커밋 지침을 저장하지 못했습니다","settings.git.commitInstructions.save.success":"커밋 지침을 저장했습니다","settings.git.forcePush.ariaLabel":"항상 강제 푸시","settings.git.forcePush.description":"Codex에서 푸시할 때 --force-with-lease를 사용합니다","settings.git.forcePush.label":"항상 강제 푸시","settings.git.forcePush.save.disabled":"항상 강제 푸시 비활성화됨","settings.git.forcePush.save.enabled":"항상 강제 푸시 활성화됨","settings.git.forcePush.save.error":"강제 푸시 설정을 저장하지 못했습니다","settings.git.prInstructions.ariaLabel":"Pull 요청 지침","settings.git.prInstructions.description":"Codex가 생성한 Pull 요청 본문에 추가됩니다","settings.git.prInstructions.label":"Pull 요청 지침","settings.git.prInstructions.placeholder":"Pull 요청 가이드 추가 중…","settings.git.prInstructions.save":"저장","settings.git.prInstructions.save.error":"Pull 요청 지침을 저장하지 못했습니다","settings.git.prInstructions.save.success":"Pull 요청 지침을 저장했습니다","settings.ide.defaultOpenTarget.description":"파일 및 폴더가 기본값으로 열리는 곳입니다","settings.ide.defaultOpenTarget.label":"기본 열림 위치","settings.ide.defaultOpenTarget.placeholder":"찾은 대상 없음","settings.ide.language.auto":"자동 탐지","settings.ide.language.autoOption":"자동 탐지","settings.ide.language.description":"앱 UI 언어","settings.ide.language.label":"언어","settings.ide.language.search":"언어 검색","settings.layout.actionButton":"확장 프로그램 다시 시작","settings.layout.actionTitle":"액션을 포함해 설정","settings.layout.fullWidthTitle":"설정(최대 폭)","settings.layout.title":"설정","settings.localEnvironments.actions.add":"액션 추가","settings.localEnvironments.actions.add.description":"툴바에서 실행하려면 새 커맨드를 생성하세요.","settings.localEnvironments.actions.add.save":"저장","settings.localEnvironments.actions.empty":"액션을 추가해 로컬 툴바에서 커맨드를 실행하세요.","settings.localEnvironments.actions.icon.debug":"디버그","settings.localEnvironments.actions.icon.run":"실행됨","settings.localEnvironments.actions.icon.test":"테스트","settings.localEnvironments.actions.icon.tool":"도구","settings.localEnvironments.actions.item.button.delete":"삭제","settings.localEnvironments.actions.item.command":"액션 스크립트","settings.localEnvironments.actions.item.name":"이름","settings.localEnvironments.actions.item.platforms":"플랫폼","settings.localEnvironments.actions.item.platforms.help":"특정 OS에서만 실행합니다.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"플랫폼 선택","settings.localEnvironments.actions.item.platforms.specific":"플랫폼 특화","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"삭제","settings.localEnvironments.actions.title":"액션","settings.localEnvironments.breadcrumb.back":"뒤로","settings.localEnvironments.breadcrumb.edit":"편집","settings.localEnvironments.breadcrumb.root":"환경","settings.localEnvironments.environment.actions.description":"이 액션은 모든 커맨드를 실행할 수 있으며 헤더에 표시됩니다.","settings.localEnvironments.environment.actionsLabel":"액션","settings.localEnvironments.environment.create":"로컬 환경 생성","settings.localEnvironments.environment.defaultName":"로컬","settings.localEnvironments.environment.edit":"로컬 환경 편집","settings.localEnvironments.environment.empty":"이 프로젝트에는 아직 로컬 환경이 구성되지 않았습니다.","settings.localEnvironments.environment.name":"이름","settings.localEnvironments.environment.setup":"설정 스크립트","settings.localEnvironments.environment.setup.description":"이 스크립트는 작업 트리 생성에서 실행됩니다.","settings.localEnvironments.environment.setup.hint":"프로젝트 루트에서 실행합니다.","settings.localEnvironments.environment.setup.platformOverrides":"플랫폼 덮어쓰기","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} 설정 스크립트 추가","settings.localEnvironments.environment.setup.platformOverrides.description":"특정 OS에 기본 스크립트를 덮어쓰기합니다.","settings.localEnvironments.environment.setup.platformOverrides.remove":"제거하기","settings.localEnvironments.environment.setup.script":"스크립트","settings.localEnvironments.environment.title":"환경 세부 정보","settings.localEnvironments.file.missing":"저장하여 처음으로 이 파일에 생성하세요.","settings.localEnvironments.file.parseError":"기존 파일을 파싱할 수 없습니다. 저장하면 덮어씌워집니다. ({error})","settings.localEnvironments.file.path":"파일: {path}","settings.localEnvironments.file.readError":"로컬 환경 데이터를 가져오지 못했습니다. ({error})","settings.localEnvironments.file.title":"로컬 환경 파일","settings.localEnvironments.loading.body":"프로젝트 구성을 가져오는 정입니다.","settings.localEnvironments.loading.title":"로컬 환경 불러오는 중","settings.localEnvironments.preview.devOnly":"(DEV 전용)","settings.localEnvironments.preview.save":"저장","settings.localEnvironments.preview.saveError":"파일을 저장하지 못했습니다. ({error})","settings.localEnvironments.preview.title":"미리 보기","settings.localEnvironments.save.disabled.name":"환경 이름을 추가해 저장하세요.","settings.localEnvironments.save.disabled.noChanges":"저장할 변경 사항이 없습니다.","settings.localEnvironments.save.disabled.saving":"저장 중…","settings.localEnvironments.save.success":"로컬 환경이 저장되었습니다","settings.localEnvironments.unavailable.body":"이 프로젝트에 로컬 환경 설정을 불러오지 못했습니다.","settings.localEnvironments.unavailable.title":"로컬 환경 사용할 수 없음","settings.localEnvironments.workspace.add":"프로젝트 추가","settings.localEnvironments.workspace.title":"프로젝트","settings.localEnvironments.workspaceSelect.addLabel":"환경 추가","settings.localEnvironments.workspaceSelect.description":"로컬 환경에서 Codex에 프로젝트에 작업 트리 설정하는 방법을 알려줍니다. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"아직 프로젝트가 없습니다. 추가하여 로컬 환경을 구성하세요.","settings.localEnvironments.workspaceSelect.errorLabel":"환경에 주의가 필요합니다","settings.localEnvironments.workspaceSelect.learnMore":"자세히 알아보기","settings.localEnvironments.workspaceSelect.listLabel":"사용 가능한 프로젝트","settings.localEnvironments.workspaceSelect.loading":"프로젝트를 불러오는 중입니다.","settings.localEnvironments.workspaceSelect.loadingLabel":"환경 불러오는 중","settings.localEnvironments.workspaceSelect.title":"프로젝트 선택","settings.localEnvironments.workspaceSelect.viewAction":"보기","settings.mcp.addServer":"서버 추가","settings.mcp.app.configure":"구성","settings.mcp.app.connect":"연결하기","settings.mcp.apps.refresh":"새로 고침","settings.mcp.detail.addArgument":"인자 추가","settings.mcp.detail.addEnvVar":"환경 변수 추가","settings.mcp.detail.addEnvVarPassthrough":"변수 추가","settings.mcp.detail.args":"인자","settings.mcp.detail.back":"뒤로","settings.mcp.detail.command":"실행 명령","settings.mcp.detail.cwd":"작업 중인 디렉토리","settings.mcp.detail.docs":"MCP 문서 열기","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"환경 변수 패스스루","settings.mcp.detail.envVars":"환경 변수","settings.mcp.detail.http.addEnvHeader":"변수 추가","settings.mcp.detail.http.addHeader":"헤더 추가","settings.mcp.detail.http.bearerToken":"기본 token 환경 변수","settings.mcp.detail.http.envHeaders":"환경 변수의 헤더","settings.mcp.detail.http.headers":"헤더","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"이름","settings.mcp.detail.save":"저장","settings.mcp.detail.switchTransportNotice":"MCP 서버 유형을 바꾸고 싶은 경우 먼저 설치를 제거하세요.","settings.mcp.detail.titleExisting":"{name} MCP 업데이트","settings.mcp.detail.titleNew":"맞춤형 MCP에 연결","settings.mcp.detail.transport.http":"스트리밍 가능한 HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"설치 제거하기","settings.mcp.empty":"연결된 맞춤형 MCP 서버 없음","settings.mcp.myServers":"맞춤형 서버","settings.mcp.partnerServer.description.figma":"전체 Figma 컨텍스트를 가져와 더 나은 코드를 생성합니다","settings.mcp.partnerServer.description.github":"GitHub API로 통합해 워크플로를 자동화하고 데이터를 추출합니다","settings.mcp.partnerServer.description.linear":"Linear의 이슈 추적 및 프로젝트 관리와 통합합니다","settings.mcp.partnerServer.description.notion":"문서를 읽고, 페이지를 업데이트하고, 작업을 관리합니다","settings.mcp.partnerServer.description.playwright":"브라우저 자동화를 통합해 디자인을 구현하고 UI를 테스트합니다.","settings.mcp.partnerServer.install":"설치하기","settings.mcp.partnerServer.installAndAuthenticate":"설치 및 인증","settings.mcp.partnerServer.logoAlt":"{label} 로고","settings.mcp.partnerServer.manage":"관리","settings.mcp.partnerServer.vendor":"작성자: {vendor}","settings.mcp.recommendedServers":"권장 서버","settings.mcp.restartApp":"다시 시작","settings.mcp.restartExtension":"확장 프로그램 다시 시작","settings.mcp.server.enable":"사용함","settings.mcp.server.login":"인증","settings.mcp.server.settings":"설정","settings.multiselect.createOption":'"{value}" 만들기',"settings.multiselect.removeOption":"제거하기","settings.nav.account":"계정","settings.nav.agent":"구성","settings.nav.ariaLabel":"설정","settings.nav.back":"앱으로 돌아가기","settings.nav.data-controls":"아카이브 보관된 스레드","settings.nav.environments":"클라우드 환경","settings.nav.externalTooltip":"[알파] 브라우저에서 열기","settings.nav.general-settings":"일반","settings.nav.git-settings":"깃","settings.nav.local-environments":"환경","settings.nav.mcp-settings":"MCP 서버","settings.nav.notImplemented":"[알파] 알파에서는 사용할 수 없습니다","settings.nav.personalization":"개인 맞춤 설정","settings.nav.skills-settings":"스킬","settings.nav.usage-analytics":"사용 및 애널리틱스","settings.nav.worktrees":"작업 트리","settings.openSourceLicenses.back":"뒤로","settings.openSourceLicenses.loading":"불러오는 중...","settings.openSourceLicenses.missing":"찾은 서드파티 알림이 없습니다.","settings.openSourceLicenses.notSupported":"이 호스트에서는 사용할 수 없습니다.","settings.openSourceLicenses.rowDescription":"디펜던시 묶음의 서드파티 알림","settings.openSourceLicenses.rowLabel":"오픈 소스 라이선스","settings.openSourceLicenses.subtitle":"이 앱에 포함된 디펜던시의 서드파티 알림","settings.openSourceLicenses.title":"오픈 소스 라이선스","settings.openSourceLicenses.view":"보기","settings.personalization.agents.description":"Codex가 내게 맞춤형으로 작동하도록 지침을 편집하세요. {learnMore}","settings.personalization.agents.learnMore":"자세히 알아보기","settings.personalization.agents.loadError":"agents.md를 불러올 수 없습니다.","settings.personalization.agents.loading":"agents.md 불러오는 중…","settings.personalization.agents.placeholder":"맞춤형 지침 추가…","settings.personalization.agents.retry":"다시 시도","settings.personalization.agents.save":"저장","settings.personalization.agents.save.error":"agents.md를 저장할 수 없습니다","settings.personalization.agents.save.success":"agents.md를 저장했습니다","settings.personalization.agents.title":"맞춤형 지침","settings.personalization.personality.description":"Codex 응답의 기본 어조를 선택하세요","settings.personalization.personality.label":"성격","settings.sample.contentBody":"이 레이아웃을 사용해 일관된 공백으로 설정 창을 구성하세요.","settings.sample.contentTitle":"샘플 콘텐츠 블록","settings.section.account":"계정","settings.section.agent":"구성","settings.section.data-controls":"아카이브 보관된 스레드","settings.section.environments":"클라우드 환경","settings.section.external":"알파 중에 브라우저 내에서 열립니다","settings.section.general-settings":"일반","settings.section.git-settings":"깃","settings.section.local-environments":"환경","settings.section.mcp-settings":"MCP 서버","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"외부 도구 및 데이터 출처를 연결하세요.","settings.section.personalization":"개인 맞춤 설정","settings.section.skills-settings":"스킬","settings.section.unavailable":"알파에서는 아직 사용할 수 없습니다","settings.section.usage-analytics":"사용 및 애널리틱스","settings.section.worktrees":"작업 트리","settings.threadDetail.description":"스레드에 표시할 커맨드 출력 양을 선택합니다","settings.threadDetail.label":"스레드 세부 정보","settings.worktrees.conversation.untitled":"제목 없는 대화","settings.worktrees.delete.error":"작업 트리를 삭제하지 못했습니다","settings.worktrees.empty.body":"Codex가 생성한 작업 트리가 여기 나타납니다.","settings.worktrees.empty.title":"작업 트리 없음","settings.worktrees.error.body":"작업 트리를 불러오는 중 문제가 발생했습니다.","settings.worktrees.error.retry":"다시 시도","settings.worktrees.error.title":"작업 트리를 불러올 수 없습니다","settings.worktrees.loading.body":"작업 트리 세부 정보를 가져오는 중입니다.","settings.worktrees.loading.title":"작업 트리 불러오는 중","settings.worktrees.repository.loading":"저장 메타데이터 불러오는 중…","settings.worktrees.repository.unknown":"알 수 없는 저장소","settings.worktrees.row.conversations":"대화","settings.worktrees.row.conversations.empty":"이 작업 트리에 연결된 대화가 없습니다.","settings.worktrees.row.conversations.loading":"대화 불러오는 중…","settings.worktrees.row.delete":"삭제","settings.worktrees.row.title":"작업 트리","sidebarElectron.addWorkspaceRoot":"새 프로젝트 추가","sidebarElectron.archiveThread":"스레드 아카이브에 보관","sidebarElectron.archiveThreadError":"스레드를 아카이브에 보관하지 못했습니다","sidebarElectron.collapseFolder":"폴더 축소","sidebarElectron.createStableWorktree.dialog.cancel":"취소","sidebarElectron.createStableWorktree.dialog.create":"만들기","sidebarElectron.debugNavLink":"디버그","sidebarElectron.editWorkspaceRootOptionName":"이름 편집","sidebarElectron.expandFolder":"폴더 확장","sidebarElectron.groupByMenu.recency":"시간 순서로 정리된 목록","sidebarElectron.groupByMenu.title":"정리","sidebarElectron.groupByMenu.workspace":"프로젝트별","sidebarElectron.inboxRouteNavLink":"자동화","sidebarElectron.markThreadUnread":"읽음으로 표시","sidebarElectron.missingWorkspaceRoot":"이 프로젝트 폴더는 삭제되거나 이동되었습니다","sidebarElectron.newThread":"새 스레드","sidebarElectron.newThreadInGroup":"{folder}에서 새 스레드 시작","sidebarElectron.noRecentThreads":"최근 스레드가 없습니다","sidebarElectron.noTasks":"스레드가 없습니다","sidebarElectron.noTasks.start":"새 프로젝트 추가","sidebarElectron.noTasksWithFilter":"필터에 맞는 스레드가 없습니다","sidebarElectron.pinnedThreads":"고정된 스레드","sidebarElectron.recentNavLink":"스레드","sidebarElectron.recentThreads":"최근 스레드","sidebarElectron.removeWorkspaceRootOption":"제거하기","sidebarElectron.renameThread":"스레드 이름 변경","sidebarElectron.renameThreadDialogAriaLabel":"스레드 제목","sidebarElectron.renameThreadDialogCancel":"취소","sidebarElectron.renameThreadDialogPlaceholder":"제목을 추가하세요…","sidebarElectron.renameThreadDialogSave":"저장","sidebarElectron.renameThreadDialogSubtitle":"짧고 알기 쉽게 만드세요.","sidebarElectron.renameThreadDialogTitle":"스레드 이름 변경","sidebarElectron.renameThreadError":"스레드 이름을 바꾸지 못했습니다","sidebarElectron.renameWorkspaceRootOptionLabel":"디스플레이 이름","sidebarElectron.showLess":"접기","sidebarElectron.showMenu.all":"모든 스레드","sidebarElectron.showMenu.relevant":"연관성 있음","sidebarElectron.showMenu.relevantHint":"현재 브랜치, 작업 트리, 기타 신경 써야 하는 스레드에 최신 스레드만 표시","sidebarElectron.showMenu.title":"보기","sidebarElectron.showMenu.tooltip":"스레드 필터링, 정렬 및 정리","sidebarElectron.showMenu.trigger":"사이드바 스레드 필터","sidebarElectron.showMore":"더 보기","sidebarElectron.skillsRouteNavLink":"스킬","sidebarElectron.sortMenu.created":"생성됨","sidebarElectron.sortMenu.title":"정렬 기준","sidebarElectron.sortMenu.updated":"업데이트됨","sidebarElectron.taskNavigation":"자동화 폴더","sidebarElectron.tasksInFolder":"{folder}에서 자동화","sidebarElectron.workspaceOptions":"{folder} 프로젝트 액션","sidebarElectron.worktreeGroupTooltip":"깃 작업 트리입니다","skills.appsPage.createSkill":"새 스킬","skills.appsPage.empty.skills":"찾은 스킬이 없습니다","skills.appsPage.search.skills":"스킬 검색","skills.appsPage.search.skills.label":"스킬 검색","skills.appsPage.section.installedApps":"설치되었습니다","skills.appsPage.section.skills":"스킬","skills.appsPage.subheading":"Codex에게 초능력을 주세요. <link>자세히 알아보기</link>","skills.appsPage.tab.recommended":"권장","skills.appsPage.tab.skills":"스킬","skills.card.contentsError":"스킬 콘텐츠를 불러올 수 없습니다.","skills.card.disable":"비활성화","skills.card.disableSuccess":"{skillName} 스킬이 비활성화되었습니다","skills.card.disabledBadge":"비활성화됨","skills.card.enable":"사용함","skills.card.enableSuccess":"{skillName} 스킬이 활성화되었습니다","skills.card.loadingContents":"스킬 콘텐츠 불러오는 중…","skills.card.more":"더 많은 액션","skills.card.open":"열기","skills.card.removeFailed":"스킬 설치 제거를 하지 못했습니다","skills.card.removeSuccess":"{skillName} 스킬이 설치 제거되었습니다","skills.card.toggleEnabledError":"스킬 업데이트를 하지 못했습니다","skills.card.try":"시도하기","skills.card.trySkill":"스킬 써 보기","skills.card.uninstall":"설치 제거하기","skills.hero.dotLabel":"슬라이드 {index}(으)로 가기","skills.hero.next":"다음 추천 기능","skills.hero.trySkill":"스킬 써 보기","skills.page.createSkill":"새 스킬","skills.page.empty":"찾은 스킬이 없습니다","skills.page.filteredEmpty":"필터에 맞는 스킬이 없습니다","skills.page.filteredEmptyDescription":"검색이나 필터 범위를 조정해 보세요","skills.page.heading":"스킬","skills.page.loading":"스킬 불러오는 중…","skills.page.refreshSkills":"새로 고침","skills.page.refreshSkillsToUseNew":"새로 고침해 새 스킬 사용","skills.page.search":"스킬 검색","skills.page.search.label":"스킬 검색","skills.page.subheading":"Codex에게 초능력을 주세요. <link>자세히 알아보기</link>","skills.preview.copyPrompt":"프롬프트 복사","skills.preview.examplePrompt":"프롬프트 예시","skills.recommended.error":"권장 스킬을 불러오지 못했습니다","skills.recommended.install":"설치하기","skills.recommended.installSkill":"스킬 설치","skills.recommended.installSuccess":"{skillName} 스킬이 설치되었습니다","skills.recommended.installed":"설치되었습니다","skills.scope.admin":"관리자","skills.scope.adminInstalled":"관리자 설치됨","skills.scope.builtIn":"시스템","skills.scope.personal":"개인","skills.scope.repo":"저장소","skills.scope.system":"시스템","skills.scope.team":"Team","skills.scope.user":"사용자","skills.section.installed":"설치되었습니다","skills.section.recommended":"권장","story.slidingToggle.existing":"기존","story.slidingToggle.fromLocal":"로컬에서","story.slidingToggle.new":"신규","story.slidingToggle.toLocal":"로컬로","terminal.close":"터미널 닫기","terminal.title":"터미널","thinkingShimmer.default":"생각 중","threadEnvIcon.cloudTooltip":"이 대화는 Codex 클라우드에서 구동 중입니다.","threadEnvIcon.localTooltip":"이 대화는 로컬로 실행 중입니다.","threadEnvIcon.worktreeTooltip":"이 대화는 로컬 깃 작업 트리에서 구동 중입니다.","threadHeader.archiveConfirmCancel":"취소","threadHeader.archiveConfirmConfirm":"아카이브에 보관","threadHeader.archiveConfirmSubtitle":"나중에 아카이브 보관된 스레드에서 찾을 수 있습니다.","threadHeader.archiveConfirmTitle":"스레드를 아카이브에 보관할까요?","threadHeader.copyAppLink":"딥링크 복사","threadHeader.copySessionId":"세션 ID 복사","threadHeader.copyWorkingDirectory":"작업 중인 디렉토리 복사","threadHeader.forkIntoLocal":"로컬로 포크","threadHeader.forkIntoWorktree":"새 작업 트리로 포크","threadHeader.forkPendingWorktreePrompt":"이 대화를 새 작업 트리로 포크합니다.","threadHeader.forkPendingWorktreeTitle":"포크된 대화","threadHeader.forkThreadError":"스레드 포크 실패","threadHeader.forkThreadRequiresGitRepo":"새 작업 트리로 포크하려면 git 저장소 필요","threadHeader.moreActions":"스레드 액션","threadPage.newThread":"새 스레드","threadPage.runAction.changeEnvironment":"환경 변경","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName}개의 액션","threadPage.runAction.environmentSelector.label":"환경 선택","threadPage.runAction.label":"실행됨","threadPage.runAction.missing.label":"실행 액션 설정","threadPage.runAction.setup.commandLabel":"실행 명령","threadPage.runAction.setup.description":"Codex에게 디펜던시 설치법을 알려주고 앱을 시작하세요.","threadPage.runAction.setup.editMore":"환경 설정","threadPage.runAction.setup.placeholder":"예: npm install npm run","threadPage.runAction.setup.submit":"저장하고 실행","threadPage.runAction.setup.title":"실행됨","threadPage.runAction.tooltip.withEnvironment":"{environmentName}개의 액션","threadPage.toggleDiffPanel":"diff 패널 토글","threadPage.toggleTerminal":"터미널 토글","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"폴더 열기","toolSummaryForCmd.exploredFiles":"파일 <verb>목록 작성함</verb>","toolSummaryForCmd.exploredFilesInPath":"{path}에 파일 <verb>목록 작성함</verb>","toolSummaryForCmd.exploringFiles":"파일 <verb>목록 작성 중</verb>","toolSummaryForCmd.exploringFilesInPath":"{path}에 파일 <verb>목록 작성 중</verb>","toolSummaryForCmd.ranGenericCommand":"<status>커맨드 실행</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"{command}{timer} <status>실행함</status>","toolSummaryForCmd.read":"{path} <verb>읽음</verb>","toolSummaryForCmd.runningGenericCommand":"<status>커맨드 실행 중</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}","toolSummaryForCmd.searchedFor":"{query} <verb>검색함</verb>","toolSummaryForCmd.searchedForFiles":"파일 <verb>검색함</verb>","toolSummaryForCmd.searchedForInPath":"{path}에서 {query} <verb>검색함</verb>","toolSummaryForCmd.searchingFor":"{query} <verb>검색 중</verb>","toolSummaryForCmd.searchingForFiles":"파일 <verb>검색 중</verb>","toolSummaryForCmd.searchingForInPath":"{path} 에서 {query} <verb>검색 중</verb>","traceRecording.details.noteLabel":"이 일이 발생했을 때 무엇을 하고 있었나요?(선택)","traceRecording.details.notePlaceholder":"대형 스레드로 이동된 뒤 반복해서 탭이 전환되었습니다…","traceRecording.details.submit":"추적 보내기","traceRecording.details.subtitle":"이 프로필 추적을 전송해 성능 문제 진단에 도움을 줄 수 있습니다.","traceRecording.details.title":"프로필 추적을 보낼까요?","traceRecording.progress.subtitle":"완료되는 동안 Codex를 계속 열어 둡니다.","traceRecording.saving.title":"추적 저장 중…","traceRecording.startDetails.cancel":"취소","traceRecording.startDetails.submit":"확인, 기록을 시작합니다","traceRecording.startDetails.subtitle":"확인을 클릭한 뒤, 성능 문제를 재생성하고 떠 다니는 빨간 표시를 클릭하여 추적을 검토하세요.","traceRecording.startDetails.title":"추적 기록이 진행되는 방법","traceRecording.stopButton.ariaLabel":"추적 기록 중지","traceRecording.upload.successToast":"프로필 추적을 보냈습니다.","traceRecording.uploading.title":"추적 업로드 중...","wham.diff.addComment":"댓글 추가","wham.diff.binaryFile":"바이너리 파일 표시되지 않음","wham.diff.noContent":"내용 없음","wham.fileTag.deleted":"삭제됨","wham.fileTag.new":"신규","wham.formattedRelativeDateTime.compactDaysAgo":"{value}일","wham.formattedRelativeDateTime.compactHoursAgo":"{value}시간","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}분","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}개월","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}주","wham.formattedRelativeDateTime.compactYearsAgo":"{value}년","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"작업을 준비 중입니다","wham.whamProposedTask.title":"제안된 작업","wham.whamProposedTask.useSuggestion":"제안 사용","workspaceRootDialog.addError":"프로젝트에 추가하지 못했습니다","workspaceRootDialog.cancel":"취소","workspaceRootDialog.confirmAdd":"프로젝트 추가","workspaceRootDialog.confirmPick":"프로젝트 사용","workspaceRootDialog.description":"{host}에 경로를 입력해 프로젝트로 사용하세요.","workspaceRootDialog.pathLabel":"프로젝트 경로","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"프로젝트 경로 추가","workspaceRootDialog.title.pick":"프로젝트 경로를 선택하세요","worktreeInitV2.cancel":"취소","worktreeInitV2.notification.failedTitle":"작업 트리 설정 실패함","worktreeInitV2.output.empty":"출력 기다리는 중…","worktreeInitV2.status.error":"작업 트리 설정 실패함.","worktreeInitV2.status.running":"작업 트리를 만들고 설정을 실행하는 중.","worktreeInitV2.status.runningFork":"이 대화를 포크하기 위해 작업 트리를 생성 중입니다.","worktreeInitV2.status.success":"작업 트리 준비됨.","worktreeInitV2.title":"작업 트리 생성 중","worktreeInitV2.workLocallyInstead":"대신 로컬로 작업","worktreeRestoreBanner.body":"이 스레드의 작업 트리는 디스크 공간 확보를 위해 제거되었습니다","worktreeRestoreBanner.missing.body":"이 스레드의 작업 디렉토리는 더 이상 존재하지 않습니다","worktreeRestoreBanner.missing.title":"현재 작업 디렉토리가 없습니다","worktreeRestoreBanner.restore.error":"작업 트리를 복구하지 못했습니다: {message}","worktreeRestoreBanner.restore.success":"작업 트리를 복구했습니다","worktreeRestoreBanner.restoreCta":"작업 트리 복구","worktreeRestoreBanner.title":"작업 트리 정리됨"};export{e as default};
+const e={"CopyButton.copyTooltip":"복사","app.sidebar.hide":"사이드바 숨기기","app.sidebar.show":"사이드바 보기","app.sidebar.tooltip":"사이드바 토글","appHeader.installUpdate":"업데이트","appSunset.body":"앱의 이 버전은 더 이상 지원되지 않습니다. 최신 버전을 <here>여기</here>서 다운로드하세요.","appSunset.title":"업데이트 필요","automation.updateDirective.create":"만들기","automation.updateDirective.open":"열기","automation.updateDirective.untitled":"제목 없는 자동화","automation.updateDirective.update":"업데이트","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {#번의 시도}}","cloudTaskRow.archiveError":"작업을 아카이브에 보관하지 못했습니다","code.diff.requestChange":"변경 사항 요청","code.diffComment.cancel":"취소","code.diffComment.comment":"댓글","code.diffComment.delete":"삭제","code.diffComment.save":"저장","codeReviewAssistant.location":"{file}:{start}~{end}","codeReviewAssistant.noFindings":"보고된 결과가 없습니다.","codex.alert.closeAriaLabel":"닫기","codex.appUpsellBanner.cbpApi.message":"Codex 앱으로 더 빠르게 코딩하세요. 지금 다운로드하거나 {learnMoreLink}.","codex.appUpsellBanner.download":"다운로드","codex.appUpsellBanner.freeGo.message":"3월 2일까지 플랜에 Codex가 포함됩니다. Codex 앱으로 더 빠르게 코딩하세요.","codex.appUpsellBanner.later":"나중에","codex.appUpsellBanner.learnMoreLowercase":"자세히 알아보기","codex.appUpsellBanner.new":"신규","codex.appUpsellBanner.proPlusBusiness.message":"4월 2일까지 Codex 앱을 2배의 요금 한도로 써 보세요. 지금 다운로드하거나 {learnMoreLink}.","codex.appUpsellBanner.title":"Codex 앱","codex.applyDropdown.header.changes":"개의 변경 사항","codex.applyDropdown.header.fileCount":"{count, plural, other {#개의 파일}}","codex.applyDropdown.header.rows":"개의 행","codex.applyDropdown.header.title":"변경 사항 적용","codex.applyDropdown.header.workspace":"프로젝트","codex.applyDropdown.results.conflicted":"{count, plural, other {{count}개의 파일 충돌:}}","codex.applyDropdown.results.empty":"복사된 파일이 없습니다","codex.applyDropdown.results.skipped":"{count, plural, other {{count}개의 파일 건너뜀:}}","codex.applyOrRevertBanner.apply":"적용","codex.applyOrRevertBanner.applyMessage":"변경 사항을 적용하고 로컬로 계속할까요?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"이 작업은 {environment}에서 만들어져 원활하게 적용되지 않을 수 있습니다.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"변경 사항이 {environment}에서 만들어져 원활하게 적용되지 않을 수 있습니다.","codex.applyOrRevertBanner.reapply":"다시 적용","codex.applyOrRevertBanner.revert":"되돌리기","codex.applyOrRevertBanner.revertMessage":"적용한 변경 사항을 되돌릴까요?","codex.applyResultsDialog.applied":"원활하게 적용됨 ({count})","codex.applyResultsDialog.close":"닫기","codex.applyResultsDialog.conflicted":"충돌 발생 ({count})","codex.applyResultsDialog.noDetails":"사용 가능한 파일 세부 정보 없음.","codex.applyResultsDialog.skipped":"건너뜀 ({count})","codex.applyResultsDialog.title":"결과 적용하기","codex.archiveInfo":"{dataControlsLink}에서 아카이브에 보관된 채팅을 봅니다.","codex.archiveInfo.dataControlsLink":"데이터 제어","codex.archiveInfo.electron":"{settingsLink}에서 아카이브에 보관된 채팅을 봅니다","codex.archiveInfo.extension":"사용자 .codex 폴더에서 아카이브에 보관된 채팅을 봅니다.","codex.archiveInfo.settingsLink":"설정","codex.banner.content.description":"작업을 병행 실행하고, 어디서나 진행도를 확인하고, AI로 PR을 검토하세요.","codex.banner.content.headline":"Codex는 이걸 다 합니다.","codex.cloudTaskRow.archiveTask":"작업을 아카이브에 보관","codex.cloudTaskRow.confirmArchiveTask":"확인","codex.command.feedback":"피드백","codex.command.findInThread":"찾기","codex.command.forceReloadSkills":"강제로 스킬 다시 불러오기","codex.command.logOut":"로그아웃","codex.command.manageTasks":"작업 관리","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"뒤로","codex.command.navigateForward":"앞으로","codex.command.newThread":"새 스레드","codex.command.nextThread":"다음 스레드","codex.command.openFolder":"폴더 열기","codex.command.openSkills":"스킬로 이동","codex.command.openThreadOverlay":"스레드 꺼내기","codex.command.personalitySettings":"성격","codex.command.previousThread":"이전 스레드","codex.command.settings":"설정","codex.command.toggleDiffPanel":"diff 패널 토글","codex.command.toggleSidebar":"사이드바 토글","codex.command.toggleTerminal":"터미널 토글","codex.commandGroup.app":"앱","codex.commandGroup.configure":"구성","codex.commandGroup.navigation":"탐색","codex.commandGroup.panels":"패널","codex.commandGroup.skills":"스킬","codex.commandGroup.thread":"스레드","codex.commandGroup.workspace":"프로젝트","codex.commandMenu.noResults":"일치 사항 없음","codex.commandMenu.searchPlaceholder":"커맨드 검색","codex.commandMenu.suggestedGroup":"제안","codex.commandMenu.switchWorkspace":"프로젝트 전환","codex.commandMenu.title":"커맨드 메뉴","codex.common.retry":"다시 시도","codex.composer.searchBranches":"브랜치 검색","codex.dialog.basic.body":"Radix Dialog에 당사 래퍼를 사용한 간단한 모달 다이얼로그입니다.","codex.dialog.basic.cancel":"취소","codex.dialog.basic.confirm":"확인","codex.dialog.basic.open":"다이얼로그 열기","codex.dialog.basic.title":"샘플 다이얼로그","codex.dialog.long.close":"닫기","codex.dialog.long.line":"다이얼로그 내 긴 내용을 보여주는 스크롤 가능한 라인 {index}","codex.dialog.long.open":"긴 다이얼로그 열기","codex.dialog.long.title":"긴 내용 다이얼로그","codex.dialog.unstyled.body":"이 스토리에서는 요청자가 대화 콘텐츠 스타일을 완전히 제어하는 방법을 보여줍니다.","codex.dialog.unstyled.open":"스타일이 없는 대화문 열기","codex.dialog.unstyled.title":"스타일이 없는 콘텐츠","codex.diff.openInEditorPrompt.openButton":"편집기에서 열기","codex.diff.openInEditorPrompt.singleLine":"이 파일이 여기 표시하기에 너무 큽니다.","codex.diffView.failedToDecodeBase64Diff":"base64 diff 디코딩을 하지 못했습니다","codex.diffView.filesChanged":"{fileCount, plural, other {#개의 파일 변경됨}}","codex.diffView.imagePreviewAlt":"이미지 미리 보기","codex.diffView.imagePreviewEmpty":"이미지 없음","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"diff 데이터 없음","codex.diffView.pdfPreview.nextPage":"다음 페이지","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"이전 페이지이지","codex.diffView.pdfPreviewEmpty":"PDF 미리 보기 없음","codex.diffView.pdfPreviewError":"PDF 미리 보기를 렌더링할 수 없습니다","codex.diffView.richPreviewDisable":"확장형 미리보기 비활성화","codex.diffView.richPreviewEnable":"확장형 미리보기 활성화","codex.diffView.richPreviewLoading":"미리 보기 불러오는 중…","codex.diffView.richPreviewToggle":"확장형 미리보기 토글","codex.diffView.switchToUnified":"통합 diff로 전환","codex.environmentSelector.noEnvironment":"환경 없음","codex.environments.environmentSettings":"환경 설정","codex.environments.learnMore":"자세히 알아보기","codex.environments.listError":"환경을 불러오지 못했습니다.","codex.environments.noEnvironmentsFound":"찾은 환경 없음","codex.environments.searchError":"검색 환경을 찾지 못했습니다.","codex.errorBoundary.genericError":"앗, 오류가 발생했습니다","codex.errorBoundary.goHome":"다시 시도하기","codex.file.patch.missing":"이 파일의 패치를 만들 수 없습니다.","codex.gallery.automations.cwdLabel":"프로젝트","codex.gallery.automations.nameLabel":"이름","codex.gallery.automations.namePlaceholder":"작업을 요약하세요","codex.gallery.automations.promptLabel":"프롬프트","codex.gallery.automations.promptPlaceholder":"Codex가 해야 하는 일을 설명하세요","codex.gallery.dialogs.automation.label":"자동화 대화문","codex.gallery.dialogs.basic.body":"간단한 확인 또는 짧은 양식에 이 레이아웃을 사용하세요.","codex.gallery.dialogs.basic.cancel":"취소","codex.gallery.dialogs.basic.confirm":"확인","codex.gallery.dialogs.basic.label":"기본 대화문","codex.gallery.dialogs.basic.title":"샘플 다이얼로그","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"이슈에 대해 설명해 주세요","codex.gallery.dialogs.feedbackSubmission.bad":"좋지 않은 결과","codex.gallery.dialogs.feedbackSubmission.bug":"버그","codex.gallery.dialogs.feedbackSubmission.good":"좋은 결과","codex.gallery.dialogs.feedbackSubmission.includeLogs":"현재 Codex 세션 로그 포함","codex.gallery.dialogs.feedbackSubmission.label":"피드백 제출","codex.gallery.dialogs.feedbackSubmission.other":"기타","codex.gallery.dialogs.feedbackSubmission.placeholder":"여기에 문제에 대해 설명해 주세요","codex.gallery.dialogs.feedbackSubmission.submit":"제출","codex.gallery.dialogs.feedbackSubmission.title":"피드백","codex.gallery.dialogs.feedbackSuccess.body":"피드백이 업로드되었습니다. 문제가 지속되면 GitHub 이슈를 열거나 기존에 열려 있는 이슈에서 스레드 ID를 멘션하세요:","codex.gallery.dialogs.feedbackSuccess.dismiss":"무시","codex.gallery.dialogs.feedbackSuccess.label":"피드백 성공","codex.gallery.dialogs.feedbackSuccess.title":"피드백 업로드됨","codex.gallery.dialogs.gitApplyResults.applied":"원활하게 적용됨 (2)","codex.gallery.dialogs.gitApplyResults.close":"닫기","codex.gallery.dialogs.gitApplyResults.conflicted":"충돌 발생 (1)","codex.gallery.dialogs.gitApplyResults.label":"결과 적용하기","codex.gallery.dialogs.gitApplyResults.title":"결과 적용하기","codex.gallery.dialogs.gitPushError.body":"최신 변경 사항을 가져오거나 원격 기록을 덮어써도 안전하다는 것을 확신하는 경우 강제 푸시하세요.","codex.gallery.dialogs.gitPushError.cancel":"취소","codex.gallery.dialogs.gitPushError.force":"푸시 강제","codex.gallery.dialogs.gitPushError.label":"푸시 오류","codex.gallery.dialogs.gitPushError.subtitle":"사용자님의 브랜치가 원본/메인보다 뒤처져 있습니다.","codex.gallery.dialogs.gitPushError.title":"변경 사항을 푸시하지 못했습니다","codex.gallery.dialogs.gitRevert.cancel":"취소","codex.gallery.dialogs.gitRevert.confirm":"되돌리기","codex.gallery.dialogs.gitRevert.label":"변경 사항 되돌리기","codex.gallery.dialogs.gitRevert.skip":"다시 묻지 않기","codex.gallery.dialogs.gitRevert.subtitle":"이 액션으로 모든 변경 사항이 제거됩니다.","codex.gallery.dialogs.gitRevert.title":"변경 사항을 되돌릴까요?","codex.gallery.dialogs.longForm.label":"긴 양식의 대화문","codex.gallery.dialogs.proseModal.body":"이 모달 스타일은 긴 지침, 온보딩, 확장 콘텐츠 블록용으로 사용됩니다.","codex.gallery.dialogs.proseModal.close":"닫기","codex.gallery.dialogs.proseModal.subtitle":"여기에 긴 양식의 가이드 또는 문서를 공유하세요.","codex.gallery.dialogs.proseModal.title":"서술형 모달","codex.gallery.dialogs.submitBlocked.label":"제출 차단됨","codex.gallery.dialogs.submitBlocked.message":"해당 프로젝트를 사용할 수 없어 메시지를 보내지 못했습니다.","codex.gallery.dialogs.submitBlocked.ok":"확인","codex.gallery.dialogs.submitBlocked.title":"메시지를 보내지 못했습니다","codex.gallery.dialogs.title":"대화문","codex.gallery.dropdown.filterPlaceholder":"항목 필터링","codex.gallery.dropdowns.actionRow":"액션 행","codex.gallery.dropdowns.actionRow.disabled":"비활성화된 액션","codex.gallery.dropdowns.actionRow.primary":"기본 액션","codex.gallery.dropdowns.actionRow.secondary":"보조 액션","codex.gallery.dropdowns.actionRow.trigger":"액션 보기","codex.gallery.dropdowns.basic":"기본 드롭다운","codex.gallery.dropdowns.basic.newFile":"새 파일","codex.gallery.dropdowns.basic.newFolder":"새 폴더","codex.gallery.dropdowns.basic.openSettings":"설정 열기","codex.gallery.dropdowns.basic.title":"빠른 액션","codex.gallery.dropdowns.basic.trigger":"메뉴 열기","codex.gallery.dropdowns.basic.upload":"업로드","codex.gallery.dropdowns.panel":"패널 창","codex.gallery.dropdowns.panel.apply":"적용","codex.gallery.dropdowns.panel.body":"diff를 검토하고 프로젝트에 적용하세요.","codex.gallery.dropdowns.panel.preview":"미리 보기","codex.gallery.dropdowns.panel.title":"변경 사항 적용","codex.gallery.dropdowns.panel.trigger":"패널 열기","codex.gallery.dropdowns.search":"검색 가능한 드롭다운","codex.gallery.dropdowns.search.first":"알파 채널","codex.gallery.dropdowns.search.second":"베타 브랜치","codex.gallery.dropdowns.search.third":"출시 후보","codex.gallery.dropdowns.search.trigger":"항목 필터링","codex.gallery.dropdowns.submenu":"하위 메뉴 포함 드롭다운","codex.gallery.dropdowns.submenu.optionA":"프로젝트 알파","codex.gallery.dropdowns.submenu.optionB":"프로젝트 베타","codex.gallery.dropdowns.submenu.optionC":"프로젝트 감마","codex.gallery.dropdowns.submenu.primary":"소유자 할당","codex.gallery.dropdowns.submenu.secondary":"다음으로 이동","codex.gallery.dropdowns.submenu.tertiary":"아카이브에 보관","codex.gallery.dropdowns.submenu.trigger":"액션 선택","codex.gallery.dropdowns.title":"드롭다운","codex.gallery.inbox.automations.close":"닫기","codex.gallery.inbox.automations.popover.cardTitle":"자동화 관리","codex.gallery.inbox.automations.popover.dialogTitle":"자동화 관리","codex.header.settingsTooltip":"설정","codex.hunk.patch.error":"스테이징 실패","codex.hunk.patch.missing":"이 hunk의 패치를 만들 수 없습니다.","codex.hunk.patch.partialSuccess":"부분적 성공","codex.hunk.patch.revertError":"스테이징 해제 실패","codex.hunk.patch.revertSuccess":"성공적으로 스테이징 해제됨","codex.hunk.patch.success":"성공적으로 스테이징됨","codex.legal.autonomy.details":"자세한 세부 정보는 {link}을(를) 참고하세요","codex.legal.autonomy.details.link":"Codex 문서","codex.legal.autonomy.title":"부여하고 싶은 자율성 정도를 정하세요","codex.legal.backButton":"뒤로","codex.legal.cloud.taskOne.meta":"openai/agi · 10월 12일","codex.legal.cloud.taskOne.title":"신규 디자이너에게 저장소를 설명하세요","codex.legal.cloud.taskThree.meta":"openai/codex · 10월 8일","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"다크 모드 테마를 생성하세요","codex.legal.cloud.taskTwo.meta":"openai/agi · 10월 9일","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"온보딩 버그를 수정하세요","codex.legal.continue.apikey":"계속","codex.legal.continueButton":"다음","codex.legal.copilot.details":"모든 모델 호출, 청구, 요금 한도에 Copilot 플랜을 사용하세요. Codex 확장 사용량은 {oaiTos} 및 {gitHubTos} 모두에 해당합니다.","codex.legal.copilot.gitHubTosLink":"GitHub 이용약관","codex.legal.copilot.oaiTosLink":"OpenAI Codex 이용약관","codex.legal.copilot.title":"GitHub Copilot으로 구동됩니다","codex.legal.mistakes.review":"작성하는 코드와 실행하는 커맨드를 검토하세요","codex.legal.mistakes.title":"Codex는 실수를 할 수 있습니다","codex.legal.powered.details":"플랜의 한도를 사용하고 {link}","codex.legal.powered.details.link":"훈련 데이터 기본 설정","codex.legal.powered.title":"사용자님의 ChatGPT 계정으로 구동됩니다","codex.legal.step.cloud.subtitle":"작업을 Codex로 보내 백그라운드에서 실행시키세요. 필요한 데 집중하여 더 신속하게 움직일 수 있습니다.","codex.legal.step.cloud.title":"클라우드에서 Codex에게 맡기세요","codex.legal.step.intro.subtitle":"Codex는 저장소에서 곧장 탐색하고, 편집하고, 커맨더를 실행하고, 테스트를 실행하세요. 사용자님의 ChatGPT 계정으로 구동됩니다.","codex.legal.step.intro.title":"내 IDE 안 Codex","codex.legal.step.todo.subtitle":"TODO 댓글을 작성하고 한 번 클릭으로 Codex 작업으로 변환하세요.","codex.legal.step.todo.title":"TODO를 Codex 작업으로 바꾸세요","codex.legal.todo.heading":"// TODO: 스키마 구현","codex.localConversation.closeImagePreview":"이미지 미리 보기 닫기","codex.localConversation.userImageAttachment":"사용자 첨부 파일","codex.localTaskRow.archiveTask":"스레드 아카이브에 보관","codex.localTaskRow.awaitingApproval":"승인 대기 중","codex.localTaskRow.awaitingResponse":"응답을 기다리는 중","codex.localTaskRow.confirmArchiveTask":"확인","codex.loggedOut.apiKeyPrompt.cancel":"취소","codex.loggedOut.apiKeyPrompt.confirm":"확인","codex.loggedOut.apiKeyPrompt.getKey":"API 키 받기","codex.loggedOut.apiKeyPrompt.inputLabel":"OpenAI API 키를 입력하세요","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API 키로 클라우드 작업이 비활성화되었습니다","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot 및 API 키로 클라우드 작업이 비활성화되었습니다","codex.loggedOut.signIn":"ChatGPT로 로그인","codex.loggedOut.signIn.cancel":"로그인 취소","codex.loggedOut.signInWithCopilot":"GitHub Copilot으로 로그인","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API 키 사용","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} 도구","codex.mcpTool.collapsedLabel.verb.called":"호출함","codex.mcpTool.collapsedLabel.verb.calling":"호출 중","codex.mcpTool.embeddedResource.contentLabel":"내용","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME 유형","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"도구가 반환한 내용이 없습니다","codex.mcpTool.rawPayloadHeading":"로우 {server}.{tool} 도구 호출 페이로드","codex.menu.recent":"최근","codex.menu.seeAllHistory":"모든 기록 보기","codex.modelCapacityBanner.headline.noReset":"{modelName}의 용량 한도에 도달했습니다. 나중에 다시 시도하거나 다른 모델로 새로운 대화를 시작하세요.","codex.modelCapacityBanner.headline.withReset":"{modelName}의 용량 한도에 도달했습니다. {resetDate} 이후에 다시 시도하거나 다른 모델로 새로운 대화를 시작하세요.","codex.modelCapacityBanner.title":"선택된 모델의 용량 한도 도달","codex.patch.change.contentsDeleted":"내용 삭제됨","codex.patch.change.created":"생성됨","codex.patch.change.created-file":"파일 생성됨","codex.patch.change.creating":"생성 중","codex.patch.change.deleted":"삭제됨","codex.patch.change.deleted-file":"파일 삭제됨","codex.patch.change.deleting":"삭제 중","codex.patch.change.edited":"편집함","codex.patch.change.edited-file":"편집한 파일","codex.patch.change.editing":"편집 중","codex.patch.change.noChanges":"변경 사항 없음","codex.patch.change.rejected-add":"거부됨","codex.patch.change.rejected-delete":"거부됨","codex.patch.change.rejected-edit":"거부됨","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"총 {total}개의 작업 완료 중 {completed}","codex.plan.todoListCreated":"{total}개의 작업으로 생성된 할 일 목록","codex.profileDropdown.apiKeyAuth":"API 키로 로그인함","codex.profileDropdown.codexSettings":"Codex 설정","codex.profileDropdown.copilotAuth":"Copilot으로 로그인함","codex.profileDropdown.defaultAccountTitle":"기본 계정","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter로 긴 프롬프트 보내기","codex.profileDropdown.enterBehaviorError":"설정을 업데이트하지 못했습니다","codex.profileDropdown.getPlus":"업그레이드해 더 많은 한도를 사용하세요","codex.profileDropdown.keyboardShortcuts":"키보드 단축키","codex.profileDropdown.language":"언어","codex.profileDropdown.languageDefault":"자동 탐지","codex.profileDropdown.languageSearchPlaceholder":"언어 검색","codex.profileDropdown.languageUpdateError":"언어를 업데이트하지 못했습니다","codex.profileDropdown.logOut":"로그아웃","codex.profileDropdown.mcp":"MCP 설정","codex.profileDropdown.openConfigToml":"config.toml 열기","codex.profileDropdown.openConfigToml.wsl":"WSL 환경 내 config.toml 열기","codex.profileDropdown.openExtensionSettings":"설정 열기","codex.profileDropdown.openMcpSettings":"MCP 설정 열기","codex.profileDropdown.openOnStartup":"시작에서 열기","codex.profileDropdown.openOnStartupError":"설정을 업데이트하지 못했습니다","codex.profileDropdown.openSkillsSettings":"스킬 설정 열기","codex.profileDropdown.personalAccountTitle":"개인 계정","codex.profileDropdown.queueFollowUps":"후속 행동 대기열 추가","codex.profileDropdown.queueFollowUpsError":"설정을 업데이트하지 못했습니다","codex.profileDropdown.readDocs":"문서 읽기","codex.profileDropdown.readSkillsDocs":"문서 읽기","codex.profileDropdown.runInWsl":"WSL에서 실행","codex.profileDropdown.runInWslError":"설정을 업데이트하지 못했습니다","codex.profileDropdown.runInWslTooltip":"WSL 내에서 Codex를 실행하세요. 향상된 샌드박스 보안 및 더 뛰어난 성능으로 권장됩니다.","codex.profileDropdown.settings":"IDE 설정","codex.profileDropdown.settingsPage":"설정","codex.profileDropdown.signInWithOpenAI":"ChatGPT로 로그인","codex.profileDropdown.skills":"스킬 설정","codex.profileDropdown.switchToCopilotAccount":"Copilot 계정 사용","codex.profileDropdown.switchToOpenAIAccount":"OpenAI 계정 사용","codex.profileDropdown.todoCodelens":"TODO 댓글 수정","codex.profileDropdown.todoCodelensError":"설정을 업데이트하지 못했습니다","codex.profileDropdown.windowsDocumentation":"Windows 문서","codex.profileFooter.signedInFallback":"설정","codex.profileFooter.upgrade":"업그레이드","codex.recentTasksMenu.clearSearch":"검색 지우기","codex.recentTasksMenu.cloud":"클라우드 작업","codex.recentTasksMenu.count":"{count, plural, =0 {진행 중인 작업 없음} other {#개 작업 진행 중}}","codex.recentTasksMenu.empty":"아직 스레드가 없습니다","codex.recentTasksMenu.errorCloud":"작업을 불러오지 못했습니다.","codex.recentTasksMenu.errorCloud.inline":"클라우드 작업을 불러오지 못했습니다.","codex.recentTasksMenu.filterAll":"모두","codex.recentTasksMenu.filterCloudTasks":"클라우드 작업 필터","codex.recentTasksMenu.filterTooltip":"작업을 환경으로 필터링","codex.recentTasksMenu.local":"로컬 작업","codex.recentTasksMenu.recent":"모든 작업","codex.recentTasksMenu.search":"최근 작업 검색","codex.recentTasksMenu.searchEmpty":"결과 없음","codex.recentTasksMenu.tooltip":"작업 기록","codex.recentTasksMenu.trigger":"최근 작업. {count, plural, other {# 진행 중}}","codex.remoteConversation.applyDiff.applyCta":"변경 사항 적용","codex.remoteConversation.applyDiff.dropdownTitle":"로컬 브랜치에 변경 사항 적용","codex.remoteConversation.applyDiff.revertCta":"변경 사항 되돌리기","codex.remoteConversation.closeImagePreview":"이미지 미리 보기 닫기","codex.remoteConversation.codexCloudTask":"<u>Codex 클라우드</u> 작업을 보고 있습니다","codex.remoteConversation.errorWithMessage":"오류: {message}","codex.remoteConversation.loadingImage":"이미지 불러오는 중","codex.remoteConversation.openInWeb":"웹에서 열기","codex.remoteConversation.streaming":"시작하는 중","codex.remoteConversation.turnFailed":"이 작업 중 오류가 발생했습니다","codex.remoteConversation.turnTab.loading":"시도 {number}","codex.remoteConversation.turnTab.title":"시도 {number}","codex.remoteConversation.userImageAttachment":"사용자 첨부 파일","codex.remoteConversation.viewPreviousTurns":"웹에서 열기","codex.remoteConversation.viewPreviousTurns.buttonText":"열기","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"웹에서 열기","codex.review.copyGitApplyCommand":"git 적용 커맨드 복사","codex.review.copyGitApplyCommand.toast":"Git 적용 커맨드를 클립보드에 복사했습니다","codex.review.diffTooLarge.description":"이 diff는 검토에 표시하기에 너무 큽니다.","codex.review.diffTooLarge.title":"diff가 표시하기에 너무 큽니다","codex.review.expandOrCollapseDiffButton.collapse":"모든 diff 축소","codex.review.expandOrCollapseDiffButton.expand":"모든 diff 확장","codex.review.expandOrCollapseDiffMenu.collapse":"모든 diff 축소","codex.review.expandOrCollapseDiffMenu.expand":"모든 diff 확장","codex.review.fileSearch.clear":"파일 필터 지우기","codex.review.fileSearch.empty":"현재 필터와 일치하는 파일이 없습니다.","codex.review.fileSearch.label":"파일 필터링","codex.review.fileSearch.placeholder":"파일을 필터링하세요…","codex.review.filesChanged":"{num, plural, =0 {변경된 파일 없음} other {#개 파일 변경됨}}","codex.review.find.loadMore":"일치 사항 더 불러오기","codex.review.fullReview.hideFileTree":"파일 트리 숨기기","codex.review.fullReview.showFileTree":"파일 트리 보기","codex.review.header.moreOptions":"검토 옵션","codex.review.largeDiff.banner":"큰 diff가 감지되었습니다. 한 번에 하나의 파일만 표시합니다.","codex.review.loadFullFiles.disable":"전체 파일 가져오지 않기","codex.review.loadFullFiles.enable":"전체 파일 가져오기","codex.review.noDiff":"파일 변경 사항이 여기 나타납니다","codex.review.noDiff.gitInit.createRepository":"깃 저장소 생성","codex.review.noDiff.gitInit.creating":"생성 중…","codex.review.noDiff.gitInit.error":"깃 시작하지 못함: {message}","codex.review.noDiff.gitInit.success":"깃 저장소 생성됨","codex.review.noDiff.gitRepoRequired.description":"이 프로젝트에서 변경 사항 추적 및 실행 취소","codex.review.noDiff.gitRepoRequired.title":"깃 저장소를 생성하세요","codex.review.noDiff.orNoLongerAvailable":"또는 최신 diff를 더 이상 사용할 수 없음","codex.review.noDiff.reverted":"마지막 턴이 되돌려졌습니다","codex.review.noDiff.revertedOrCommitted":"마지막 턴이 되돌려졌거나 커밋되었습니다","codex.review.refreshGitQueries":"새로 고침","codex.review.revert.file.error":"{path} 되돌리지 못했습니다","codex.review.revert.file.partialSuccess":"{path} 일부 되돌리기했습니다","codex.review.revert.file.success":"{path} 되돌리기했습니다","codex.review.revert.hunk.error":"{path}에서 {hunkNumber} hunk를 되돌리지 못했습니다","codex.review.revert.hunk.partialSuccess":"{path}에서 {hunkNumber} hunk를 일부 되돌리기했습니다","codex.review.revert.hunk.success":"{path}에서 {hunkNumber} hunk를 되돌리기했습니다","codex.review.revert.section.error":"섹션을 되돌리지 못했습니다","codex.review.revert.section.partialSuccess":"섹션을 일부 되돌리기했습니다","codex.review.revert.section.success":"섹션을 되돌리기했습니다","codex.review.revertDialog.cancel":"취소","codex.review.revertDialog.confirm":"확인","codex.review.revertDialog.message":"이 액션으로 모든 변경 사항이 제거됩니다.","codex.review.revertDialog.skip":"다시 묻지 않기","codex.review.revertDialog.title":"변경 사항을 되돌릴까요?","codex.review.richPreview.disable":"확장형 미리보기 비활성화","codex.review.richPreview.enable":"확장형 미리보기 활성화","codex.review.source.cloud":"클라우드 변경 사항","codex.review.source.local.all":"브랜치의 모든 변경 사항","codex.review.source.local.lastTurn":"최신 턴 변경 사항","codex.review.source.local.uncommitted":"커밋하지 않은 변경 사항","codex.review.source.worktree":"커밋되지 않은 작업 트리 변경 사항","codex.review.stageFilter.empty.staged.description":"편집 내용 수락해 스테이징","codex.review.stageFilter.empty.staged.title":"스테이징된 변경 사항 없음","codex.review.stageFilter.empty.unstaged.description":"코드 변경 사항이 여기 나타납니다","codex.review.stageFilter.empty.unstaged.title":"스테이징되지 않은 변경 사항 없음","codex.review.stageFilter.staged":"스테이징됨","codex.review.stageFilter.staged.count":"스테이징됨 · {count}","codex.review.stageFilter.unstaged":"스테이징되지 않음","codex.review.stageFilter.unstaged.count":"스테이징되지 않음 · {count}","codex.review.switchToSplit":"분할 diff로 전환","codex.review.switchToUnified":"통합 diff로 전환","codex.review.toggleDiffView":"diff 보기 토글","codex.review.wordDiffs.disable":"단어 diff 비활성화","codex.review.wordDiffs.enable":"단어 diff 활성화","codex.review.wrap.disable":"단어 래핑 비활성화","codex.review.wrap.enable":"단어 래핑 활성화","codex.section.patch.missing":"이 섹션의 패치를 만들 수 없습니다.","codex.shell.collapse":"쉘 축소","codex.shell.commandLine":"${command}","codex.shell.copy.copiedTooltip":"쉘 내용 복사함","codex.shell.copy.copyTooltip":"쉘 내용 복사","codex.shell.copyCommand":"커맨드 복사","codex.shell.copyOutput":"출력 복사","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"쉘 확장","codex.shell.name":"쉘","codex.shell.noOutput":"출력 없음","codex.signInFailed.message":"로그인 실패: {rawMessage}","codex.stories.toast.show":"토스트 표시","codex.stories.tooltip.basic":"이것은 툴팁입니다","codex.stories.tooltip.hoverMe":"마우스를 올려 보세요","codex.stories.tooltip.largerOffset":"이 툴팁에는 더 큰 오프셋이 있습니다","codex.stories.tooltip.offsetButton":"더 큰 오프셋","codex.stories.tooltip.shortcutButton":"단축키 포함","codex.stories.tooltip.withShortcut":"터미널 토글","codex.taskRow.title":"새 스레드","codex.taskRowLayout.confirm":"확인","codex.threadFindBar.chatFilter":"채팅 검색","codex.threadFindBar.close":"찾기 닫기","codex.threadFindBar.diffFilter":"diff 검색","codex.threadFindBar.label":"스레드에서 찾기","codex.threadFindBar.nextResult":"다음 결과","codex.threadFindBar.noResults":"0개의 결과","codex.threadFindBar.placeholder":"스레드 찾기…","codex.threadFindBar.placeholder.extension":"스레드 찾기…","codex.threadFindBar.placeholder.review":"diff를 검색하세요…","codex.threadFindBar.placeholder.review.extension":"diff를 검색하세요…","codex.threadFindBar.previousResult":"이전 결과","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {#개 파일 변경됨}}","codex.unifiedDiff.inlineLargeFile":"인라인을 렌더링하기에 너무 큽니다","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"실행 취소","codex.unifiedDiff.revertPatchError":"변경 사항을 되돌리지 못했습니다","codex.unifiedDiff.revertPatchSuccess":"되돌린 변경 사항","codex.unifiedDiff.reviewChangesSuffix":"변경 사항","codex.unifiedDiff.reviewShort":"리뷰","codex.unifiedDiff.viewDiffTooltip":"리뷰","codex.upsellBanner.business.headline":"더 많은 액세스는 관리자에게 요청하거나 {resetDate}까지 기다리세요.","codex.upsellBanner.cbp.headline":"관리자에게 요청해 지금 액세스를 추가하세요.","codex.upsellBanner.cta.addCredits":"크레딧 추가","codex.upsellBanner.cta.upgradeAccount":"업그레이드","codex.upsellBanner.cta.viewUsage":"사용량 보기","codex.upsellBanner.free.trialHeadline":"{resetDate} 요금 한도가 초기화됩니다. 계속해서 Codex를 사용하고 GPT-5.3-Codex에 액세스하려면, 지금 Plus 무료 체험판을 시작하세요.","codex.upsellBanner.freeOrGo.headline":"요금 한도가 {resetDate} 초기화됩니다. 계속 Codex를 사용하려면 지금 Plus로 업그레이드하세요.","codex.upsellBanner.general.headline":"요금 한도가 {resetDate} 초기화됩니다.","codex.upsellBanner.general.title":"Codex 메시지를 다 썼습니다","codex.upsellBanner.go.trialHeadline":"{resetDate} 요금 한도가 초기화됩니다. 계속해서 Codex를 사용하려면, 지금 Plus 무료 체험판을 시작하세요.","codex.upsellBanner.plus.headline":"요금 한도가 {resetDate} 초기화됩니다. 계속 Codex를 사용하려면 지금 크레딧을 추가하거나 Plus로 업그레이드하세요.","codex.upsellBanner.pro.headline":"요금 한도가 {resetDate} 초기화됩니다. 계속 Codex를 사용하려면 지금 크레딧을 추가하세요.","codex.userMessage.autoResolveSync":"충돌 자동 해결","codex.userMessage.commentCount":"{count, plural, other {#개의 댓글}}","codex.userMessage.copiedAriaLabel":"복사됨","codex.userMessage.copiedTooltip":"복사됨","codex.userMessage.copyAriaLabel":"메시지 복사","codex.userMessage.copyTooltip":"복사","codex.userMessage.implementPlan":"계획 적용하기","codex.userMessage.noContent":"(내용 없음)","codex.userMessage.priorConversation":"이전 대화 참조","codex.userMessage.reviewMode":"검토 모드","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}","codex.webSearch.summary.verb.completed":"웹 검색함","codex.webSearch.summary.verb.inProgress":"웹 검색 중","codex.windowsInstallWslBanner.dismiss":"무시","codex.windowsInstallWslBanner.installWslCta":"샌드박스 활성화","codex.windowsInstallWslBanner.learnMore":"자세히 알아보기","codex.windowsSandboxBanner.content":"에이전트 모드는 Windows에서 실험적인 샌드박스를 사용해 파일 시스템 및 네트워크 액세스를 제한합니다. {sandboxLink}","codex.windowsSandboxBanner.title":"에이전트 모드의 샌드박스 활성화","codex.windowsSubDropdown.windowsSandbox":"Windows 샌드박스","codex.windowsSubDropdown.windowsSettings":"Windows 설정","codexUpgradeModal.body":"OpenAI의 최신 프런티어 에이전틱 코딩 모델 — 일반 기술 작업에 더 스마트하고, 더 빠르고, 더 유용합니다. {link}","codexUpgradeModal.close":"닫기","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"자세히 알아보기","codexUpgradeModal.title":"GPT-5.3-Codex를 소개합니다","codexUpgradeModal.tryNewModel":"지금 GPT-5.3-Codex 시험해 보기","codexUpgradeModal.useExistingModel":"현재 모델로 계속 진행","commentAttachments.numComments":"{count, plural, other {#개의 댓글}}","commentAttachments.removeAriaLabel":"댓글 첨부 파일 제거","common.close":"닫기","composer.addContext.openFilePickerError":"파일 선택기를 열 수 없습니다","composer.addContextDropdown.ariaLabel":"파일 추가 및 기타","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"파일 추가 및 기타","composer.addPhotosAndFiles":"사진 및 파일 추가","composer.atMentionList.emptyQuery":"입력하여 파일을 찾으세요","composer.atMentionList.loading":"검색 중…","composer.atMentionList.noResults":"검색 결과 없음","composer.attemptsSelector.option":"{count, plural, other {#개 버전}}","composer.attemptsSelector.tooltip":"Codex의 병행 시도 횟수","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"중지하기","composer.cloudFollowUp.cloud":"클라우드","composer.cloudFollowUp.local":"로컬","composer.cloudFollowUp.whereRun":"이 후속 작업을 어디서 실행해야 할까요?","composer.cloudTaskCreationError":"클라우드 작업 생성 중 오류","composer.cloudTaskError":"작업 생성 중 오류","composer.contextWindow.autoCompactionTooltipLine1":"Codex가 컨텍스트를 자동으로 압축합니다","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"컨텍스트 창:","composer.contextWindowUsageStatusFull":"{usage}% 참","composer.contextWindowUsageStatusLeft":"{usage}% 사용 ({remaining}% 남음)","composer.contextWindowUsageTooltip":"{usedTokens}k/{contextWindow}k 개의 토근 사용","composer.customCliTooltip":"맞춤형 CLI 실행 파일 사용 중","composer.dictation.aria":"음성 입력","composer.dictation.cancel.aria":"음성 입력 중지","composer.dictation.cancel.tooltip":"음성 입력 중지","composer.dictation.startError":"음성 입력을 시작할 수 없습니다","composer.dictation.submit.aria":"받아쓰고 보내기","composer.dictation.submit.tooltip":"받아쓰고 보내세요","composer.dictation.tooltip":"길게 눌러 음성 받아쓰기","composer.dictation.transcribeError":"오디오를 받아쓸 수 없습니다","composer.dictation.unsupported":"이 장치에서는 음성 입력을 사용할 수 없습니다","composer.dropOverlay.holdShift":"{key}을(를) 길게 눌러 드롭하세요","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"새로 만들기","composer.environmentSelector.error":"환경 불러오던 중 오류","composer.environmentSelector.goBack":"컴포저로 돌아가기","composer.environmentSelector.title":"환경 선택","composer.environmentSelector.tooltip":"클라우드 환경을 선택하세요","composer.feedbackSlashCommand.title":"피드백","composer.filePicker.selectFile":"한 개의 파일을 선택하세요","composer.filePicker.selectFiles":"여러 개의 파일을 선택하세요","composer.followerTooltip":"계속하려면 이 대화가 시작된 창으로 돌아가세요.","composer.footer.branchSwitch.checkoutError":"브랜치를 전환하지 못했습니다: {message}","composer.footer.branchSwitch.createAndCheckout":"새 브랜치 생성 및 체크아웃…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"변경 사항을 커밋해 새 브랜치를 생성 및 체크아웃하세요","composer.footer.branchSwitch.createBranchError":"브랜치를 생성하지 못했습니다: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"브랜치 이름","composer.footer.branchSwitch.createDialog.branchExistsError":"이미 존재하는 브랜치입니다.","composer.footer.branchSwitch.createDialog.close":"닫기","composer.footer.branchSwitch.createDialog.createAndCheckout":"생성 및 체크아웃","composer.footer.branchSwitch.createDialog.placeholder":"새 브랜치","composer.footer.branchSwitch.createDialog.title":"브랜치 생성 및 체크아웃","composer.footer.branchSwitch.createDialog.trailingSlashError":'브랜치 이름은 "/"로 끝날 수 없습니다.',"composer.footer.branchSwitch.tooltip":"브랜치 전환","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{fileCount, plural, other {#개의 파일}}에서 변경 사항을 커밋하여 {branchName}을(를) 체크아웃합니다.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"커밋","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, other {#개의 파일}}에서 변경 사항을 커밋하여 {branchName}을(를) 체크아웃합니다.","composer.footer.branchSwitch.uncommittedDialog.cancel":"취소","composer.footer.branchSwitch.uncommittedDialog.commit":"커밋 및 브랜치 전환...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"체크아웃 시 다음 파일의 변경 사항이 덮어쓰기됩니다:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"계속하려면 변경 사항을 커밋하세요.","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"선택된 브랜치","composer.footer.branchSwitch.uncommittedDialog.title":"브랜치를 전환하려면 변경 사항 커밋하기","composer.footer.branchSwitch.uncommittedSummaryPrefix":"커밋하지 않음: {fileCount, plural, other {#개의 파일}}","composer.forkSlashCommand.description":"이 스레드를 로컬 또는 새 작업 트리로 포크","composer.forkSlashCommand.option.local.description":"새 로컬 스레드에서 계속","composer.forkSlashCommand.option.local.title":"로컬로 포크","composer.forkSlashCommand.option.worktree.description":"새 작업 트리에서 계속","composer.forkSlashCommand.option.worktree.title":"새 작업 트리로 포크","composer.forkSlashCommand.title":"포크","composer.ideContextIndicator":"IDE 컨텍스트","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE의 컨텍스트 포함","composer.ideContextIndicator.tooltipToggle":"으로 토글","composer.ideContextSlashCommand.disableDescription":"IDE 컨텍스트 끄기","composer.ideContextSlashCommand.enableDescription":"현재 선택, 열린 파일, IDE의 그 외 컨텍스트를 포함합니다.","composer.ideContextSlashCommand.title":"IDE 컨텍스트","composer.imageInputsUnsupported":"이 모델은 이미지 입력을 지원하지 않습니다. 다른 모델을 사용하세요.","composer.imageUploadFailed":"이미지를 업로드하지 못했습니다","composer.includeIdeContextDropdown":"IDE 컨텍스트 포함하기","composer.includeIdeContextDropdown.ariaLabel":"IDE 컨텍스트 포함하기","composer.localCwdDropdown.addWorkspaceRoot":"새 프로젝트 추가","composer.localCwdDropdown.noActiveRoot":"프로젝트를 선택하세요","composer.localCwdDropdown.noResults":"찾은 폴더가 없습니다","composer.localCwdDropdown.title":"프로젝트를 선택하세요","composer.localTaskError":"대화 시작 중 오류","composer.mcpSlashCommand.description":"MCP 서버 상태 보기","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"인증되지 않음","composer.mcpStatus.authOauth":"인증됨(OAuth)","composer.mcpStatus.authToken":"인증됨(API 키)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"닫기","composer.mcpStatus.disabled":"비활성화됨","composer.mcpStatus.emptyLabel":"서버:","composer.mcpStatus.emptyValue":"구성된 MCP 서버 없음","composer.mcpStatus.enabled":"사용함","composer.mcpStatus.errorLabel":"상태:","composer.mcpStatus.errorValue":"MCP 상태를 불러올 수 없음","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"에이전트","composer.mode.agentMode.auto.dropdownLabel":"에이전트","composer.mode.agentMode.auto.optionLabel":"에이전트","composer.mode.agentMode.changePermission":"모델 바꾸기","composer.mode.agentMode.custom":"맞춤형","composer.mode.agentMode.custom.dropdownLabel":"맞춤형","composer.mode.agentMode.custom.option":"맞춤형(config.toml)","composer.mode.agentMode.custom.optionLabel":"맞춤형(config.toml)","composer.mode.agentMode.customInfo.cancel":"취소","composer.mode.agentMode.customInfo.cli":"이러한 설정을 CLI에서 또는 파일을 직접 편집하여 변경할 수 있습니다.","composer.mode.agentMode.customInfo.confirm":"맞춤형 모드 사용","composer.mode.agentMode.customInfo.description":"맞춤형 모드는 사용자님의<link>config.toml</link> 파일에 정의된 샌드박스 정책 및 승인을 적용합니다.","composer.mode.agentMode.customInfo.docs":"구성 승인 및 샌드박스 정책에 대한 자세한 내용은 <link>실행 환경 문서</link>에서 확인하세요.","composer.mode.agentMode.customInfo.refresh":"다음 번에 에이전트 실행 시 모든 변경 사항이 적용됩니다.","composer.mode.agentMode.customInfo.title":"맞춤형 모드 작동 방식","composer.mode.agentMode.fullAccess":"에이전트(전체 액세스)","composer.mode.agentMode.fullAccess.dropdownLabel":"에이전트(전체 액세스)","composer.mode.agentMode.fullAccess.optionLabel":"에이전트(전체 액세스)","composer.mode.agentMode.fullAccessConfirm.caution":"전체 액세스를 활성화할 때는 주의하세요. 데이터 유실, 유출, 예상치 못한 행동 등에 대한 위험이 현저히 증가합니다.","composer.mode.agentMode.fullAccessConfirm.confirm":"그래도 계속하겠습니다","composer.mode.agentMode.fullAccessConfirm.description":"전체 액세스로 Codex를 실행하면 사용자님의 승인 없이 컴퓨터의 아무 파일을 편집하거나 네트워크로 커맨드를 실행할 수 있습니다.","composer.mode.agentMode.fullAccessConfirm.goBack":"취소","composer.mode.agentMode.fullAccessConfirm.title":"전체 액세스를 허용할까요?","composer.mode.agentMode.readOnly":"채팅","composer.mode.agentMode.readOnly.dropdownLabel":"채팅","composer.mode.agentMode.readOnly.optionLabel":"채팅","composer.mode.agentMode.tooltip":"모드 바꾸기","composer.mode.agentMode.tooltip.auto":"파일을 읽고 편집하고, 커맨드를 실행합니다.","composer.mode.agentMode.tooltip.custom":"config.toml에 정의된 최신 승인 및 샌드박스 정책을 사용합니다.","composer.mode.agentMode.tooltip.fullAccess":"Codex가 이 프로젝트 외부에서 파일을 편집하고 네트워크 액세스로 커맨드를 실행할 수 있습니다. 주의하여 사용하세요.","composer.mode.agentMode.tooltip.readOnly":"파일 편집 및 커맨드 실행에는 승인이 필요합니다.","composer.mode.cloud.tooltip":"클라우드 환경에서 작업하세요","composer.mode.contactAdmin":"더 많은 액세스가 필요한 경우 관리자에게 문의하세요","composer.mode.local":"로컬","composer.mode.local.learnMore":"자세히 알아보기","composer.mode.local.model.custom":"맞춤형","composer.mode.local.model.loadingModel":"모델 불러오는 중","composer.mode.local.model.selecrReasoningEffort":"이성 선택","composer.mode.local.model.selectModel":"모델 선택","composer.mode.local.model.tooltip":"모델 선택하기","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"높음","composer.mode.local.reasoning.low.label":"낮음","composer.mode.local.reasoning.medium.label":"중간","composer.mode.local.reasoning.minimal.label":"최소한","composer.mode.local.reasoning.none.label":"없음","composer.mode.local.reasoning.xhigh.label":"매우 높음","composer.mode.localRemoteWhereRun":"작업을 실행할 곳을 선택하세요","composer.mode.newTask.header":"다음으로 계속","composer.mode.rateLimit.day":"{days}일","composer.mode.rateLimit.heading":"남은 요금 한도","composer.mode.rateLimit.hour":"{hours}시간","composer.mode.rateLimit.minute":"{minutes}분","composer.mode.rateLimit.modelSectionLabel":"{modelName} 한도:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks}주 한도}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks}주}}","composer.mode.remote.connectToCloud":"Codex 웹 연결","composer.mode.remote.connectToCloudDisabledTooltip":"Codex 웹을 통해 환경을 설정하여 작업을 클라우드에 보낼 수 있게 해주세요","composer.mode.remote.selectEnvironment":"환경 선택","composer.mode.remote.sendToCloud":"클라우드에 보내기","composer.mode.remote.setupViaWeb":"Codex 웹을 통해 환경 설정","composer.mode.runInCloud":"클라우드","composer.mode.runInCloudWithEnvironment":"클라우드 · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"클라우드 환경에서 작업하세요","composer.mode.segmentedToggle.local.tooltip":"로컬 프로젝트에서 작업하세요","composer.mode.segmentedToggle.worktree.tooltip":"병렬 작업 트리에서 작업하세요","composer.mode.upgradeToPlus":"Plus로 업그레이드","composer.mode.upgradeToPro":"Pro로 업그레이드","composer.mode.workLocally":"로컬 프로젝트","composer.mode.workLocally.currentBranchFallback":"내 브랜치","composer.mode.workLocally.tooltip":"{branchName}에서 작업","composer.mode.worktree":"새 작업 트리","composer.mode.worktree.submoduleWarning":"이 저장소에는 깃 서브모듈이 있습니다. 작업 트리 생성이 실패할 수 있습니다","composer.mode.worktree.tooltip":"로컬 프로젝트의 사본을 생성해 동시에 작업하세요","composer.mode.worktreeSegment":"작업 트리","composer.modelChangeDuringConversationWarning.toast":"대화 중 모델을 변경하면 성능이 떨어질 수 있습니다.","composer.newChat.heading.browser":"이제 어떤 코딩을 할까요?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex가 config.toml에서 정의된 권한을 사용합니다.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex가 내 컴퓨터에 전체 액세스를 가집니다(위험도 높음)","composer.permissionsDropdown.custom.label":"맞춤형(config.toml)","composer.permissionsDropdown.custom.optionLabel":"맞춤형(config.toml)","composer.permissionsDropdown.default.label":"기본 권한","composer.permissionsDropdown.default.optionLabel":"기본 권한","composer.permissionsDropdown.default.tooltip":"Codex가 샌드박스에서 자동으로 커맨드를 실행합니다","composer.permissionsDropdown.disabled.requirements":"requirements.toml에 의해 권한이 잠겨 있습니다","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml에 의해 전체 액세스가 비활성화되었습니다","composer.permissionsDropdown.fullAccess.label":"전체 액세스","composer.permissionsDropdown.fullAccess.optionLabel":"전체 액세스","composer.permissionsDropdown.trigger.tooltip":"권한 변경","composer.personalitySlashCommand.description.friendly":"따뜻하고 협력적이며 도움을 주려 함","composer.personalitySlashCommand.description.pragmatic":"간결하고 작업에 집중하며 직접적임","composer.personalitySlashCommand.label.friendly":"친근함","composer.personalitySlashCommand.label.pragmatic":"실용적","composer.personalitySlashCommand.notApplicableSuffix":"(현재 모델에 적용되지 않음)","composer.personalitySlashCommand.title":"성격","composer.placeholder.cloudFollowUp.directFollowUp":"이 클라우드 작업에 후속 작업","composer.placeholder.cloudFollowUp.local":"이 클라우드 작업을 참조하는 새 로컬 작업을 생성하세요","composer.placeholder.cloudFollowUp.workingTree":"현재 코드를 포함하며 해당 작업을 참조하는 새 클라우드 작업을 생성하세요","composer.placeholder.localFollowUp.cloud":"새 클라우드 작업에서 후속 작업","composer.placeholder.localFollowUp.locally":"후속 변경 사항을 부탁하세요","composer.placeholder.newTask.cloud":"Codex에게 클라우드의 무엇이든 부탁해 보세요","composer.placeholder.newTask.doAnything":"Codex에게 뭐든 부탁해 보세요","composer.placeholder.newTask.locally":"Codex에게 무엇이든 물어보세요, @로 파일 추가, / 로 커맨드","composer.planModeDropdown":"플랜 모드","composer.planModeDropdown.ariaLabel":"플랜 모드","composer.planModeIndicator":"플랜","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex로 플랜 생성","composer.planModeIndicator.tooltipToggle":"으로 토글","composer.planSlashCommand.disableDescription":"플랜 모드 끄기","composer.planSlashCommand.enableDescription":"플랜 모드 켜기","composer.planSlashCommand.title":"플랜 모드","composer.priorContext.label":"이전 컨텍스트","composer.priorContext.removeAriaLabel":"이전 컨텍스트 제거","composer.queuedMessage.delete":"대기열에 있는 메시지 삭제","composer.queuedMessage.edit":"메시지 편집","composer.queuedMessage.more":"대기열에 있는 메시지 액션","composer.queuedMessage.sendNow":"스티어링","composer.queuedMessage.sendNowTooltip":"작업을 중단하지 않고 지금 보내세요","composer.queuedMessage.turnOff":"대기열 끄기","composer.reasoningEffort.local.reasoning.tooltip":"이성 수준 선택","composer.remote.branchStartingPoint":"어떤 브랜치로 이 작업을 시작할까요?","composer.remote.branchesSectionHeading":"브랜치","composer.remote.currentEditsSuffix.followUp":"이 클라우드 작업을 참조하는 신규 작업을 생성하세요.","composer.remote.currentEditsSuffix.useLocal":"로컬 코드 변경 있음","composer.remote.directFollowUp":"로컬 변경 사항을 사용하지 마세요","composer.remote.errorLoadingBranches":"브랜치 불러오기 오류","composer.remote.fromBranch":"{branch}에서","composer.remote.fromCurrentBranch":"{branch}에서 (현재)","composer.remote.loadingMoreBranches":"불러오는 중...","composer.remote.localFileStateHeading":"로컬 파일 상태","composer.remote.localWorkingTree":"로컬 변경 사항 사용","composer.remote.startingPoint":"어떤 코드로 이 작업을 시작할까요?","composer.reviewMode.branches.error":"브랜치를 불러올 수 없습니다","composer.reviewMode.branches.retry":"다시 시도","composer.reviewMode.gitRoot.error":"Git 루트를 찾지 못했습니다","composer.reviewMode.option.baseBranch.simple":"기본 브랜치 검토","composer.reviewMode.option.unstaged.simple":"커밋하지 않은 변경 사항 검토","composer.reviewMode.quickReviewError":"코드 검토를 시작하지 못했습니다.","composer.reviewMode.title":"코드 검토","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml에 의해 전체 액세스가 비활성화되었습니다","composer.sandboxButton.windowsSandboxDialog.content":"Codex는 Windows에서 실험적인 샌드박스를 사용해 파일 시스템 및 네트워크 액세스를 제한합니다. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows 샌드박스를 활성화할까요?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"읽기 전용 사용","composer.searchEnvironments":"환경 찾기","composer.skillMentionList.app":"앱","composer.skillMentionList.loading":"스킬 불러오는 중…","composer.skillMentionList.noResults":"찾은 스킬이 없습니다","composer.slashCommands.cloudEnvironment.title":"클라우드 환경","composer.slashCommands.dialogLabel":"슬래시 커맨드 메뉴","composer.slashCommands.dialogTitle":"슬래시 커맨드","composer.slashCommands.disabledTooltip":"새 대화를 시작해 슬래시 커맨드를 사용하세요","composer.slashCommands.inputPlaceholder":"검색","composer.slashCommands.noResults":"커맨드 없음","composer.slashCommands.skillsGroup":"스킬","composer.slashCommands.tooltip":"슬래시 커맨드를 찾아보세요","composer.status.close":"닫기","composer.statusPlain.alertLabel":"경고:","composer.statusPlain.alertValue":"{window}에 {remaining}% 남음","composer.statusPlain.contextLabel":"컨텍스트:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} 사용/{total})","composer.statusPlain.contextValueRemaining":"{remaining}% 남음","composer.statusPlain.heading":"상태","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} 한도:","composer.statusPlain.rateLimitDays":"{count}일 한도","composer.statusPlain.rateLimitFallbackLabel":"요금 한도:","composer.statusPlain.rateLimitHours":"{count}시간 한도","composer.statusPlain.rateLimitLabelBase":"요금 한도","composer.statusPlain.rateLimitMinutes":"{count}분 한도","composer.statusPlain.rateLimitPercent":"{remaining}% 남음","composer.statusPlain.rateLimitReset":"{time} 초기화","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"초기화 시간 사용할 수 없음","composer.statusPlain.rateLimitUnavailable":"사용할 수 없음","composer.statusPlain.sessionCopiedAriaLabel":"세션 ID 복사됨","composer.statusPlain.sessionCopiedTooltip":"복사된 ID","composer.statusPlain.sessionCopyAriaLabel":"세션 ID 복사","composer.statusPlain.sessionCopyTooltip":"ID 복사","composer.statusPlain.sessionLabel":"세션:","composer.statusSlashCommand.description":"스레드 ID, 컨텍스트 사용량, 요금 한도를 표시합니다","composer.statusSlashCommand.title":"상태","composer.submit.blockedDialogOk":"확인","composer.submit.blockedDialogTitle":"메시지를 보내지 못했습니다","composer.submit.emptyMessage":"메시지를 입력해 시작하세요","composer.submit.imageInputsUnsupported":"이미지를 제거하거나 모델을 바꿔 이 메시지를 보내세요.","composer.submit.loadingLocalConfig":"불러오는 중...","composer.submit.missingCloudConfig":"반드시 클라우드 환경을 선택해야 합니다","composer.submit.missingCloudTurn":"이 작업을 팔로 업할 수 없습니다","composer.submit.noWorkspace":"프로젝트를 추가해 Codex를 사용하세요","composer.submit.waitForImageUploads":"이미지 업로드 중…","composer.submitButtonTooltip.send":"보내기","composer.submitButtonTooltip.stop":"중지하기","composer.worktreeEnvironment.create":"로컬 환경 생성","composer.worktreeEnvironment.default":"기본 환경","composer.worktreeEnvironment.error":"환경 불러오던 중 오류","composer.worktreeEnvironment.loading":"환경 불러오는 중...","composer.worktreeEnvironment.title":"로컬 환경","composer.worktreeEnvironment.tooltip":"로컬 환경 선택","composer.worktreeSetupFailed":"작업 트리 설정 실패. 설정 스크립트를 위해 .codex/environments를 확인하세요.","compoundButton.secondaryAction":"보조 액션","copyButton.copied":"복사됨","copyButton.copiedAriaLabel":"복사됨","copyButton.copy":"복사","copyButton.copyAriaLabel":"복사","copyButton.copyCode":"코드 복사","diff.actionButton.revertFile":"파일 되돌리기","diff.actionButton.revertHunk":"되돌리기","diff.actionButton.revertSection":"모두 되돌리기","diff.actionButton.revertSectionLabel":"모두 되돌리기","diff.actionButton.stageFile":"파일 스테이징","diff.actionButton.stageHunk":"스테이징","diff.actionButton.stageSection":"모두 스테이징","diff.actionButton.stageSectionLabel":"모두 스테이징","diff.actionButton.unstageFile":"파일 스테이징 해제","diff.actionButton.unstageHunk":"스테이징 해제","diff.actionButton.unstageSection":"모두 스테이징 해제","diff.actionButton.unstageSectionLabel":"모두 스테이징 해제","diff.fileHeader.toggle":"파일 diff 토글","electron.onboarding.login.apikey.cancel":"취소","electron.onboarding.login.apikey.continue":"계속","electron.onboarding.login.apikey.label":"OpenAI API 키","electron.onboarding.login.apikey.open":"API 키 입력","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"로그인 취소","electron.onboarding.login.chatgpt.continue":"ChatGPT로 계속하기","electron.onboarding.login.devbox":"원격 SSH에 연결","electron.onboarding.login.error":"로그인 실패: {rawMessage}","electron.onboarding.login.snake.start":"Snake 플레이","electron.onboarding.login.sshConfig.cancel":"취소","electron.onboarding.login.sshConfig.continue":"계속","electron.onboarding.login.sshConfig.hostnameLabel":"SSH 호스트 이름","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"에이전트 코딩을 시작하는 최고의 선택","electron.onboarding.login.title":"Codex에 오신 것을 환영합니다","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"계속","electron.onboarding.welcome.doubleLimits.description":"Codex 앱 출시를 기념해, 4월 2일까지 2배의 요금 한도가 제공됩니다.","electron.onboarding.welcome.freego.description":"3월 2일까지 플랜에 무료로 Codex가 포함됩니다 – 같이 코드 빌딩을 시작해 보시죠.","electron.onboarding.welcome.new.title.anon":"환영합니다!","electron.onboarding.workspace.continue":"계속","electron.onboarding.workspace.empty":"프로젝트를 추가해 계속하세요.","electron.onboarding.workspace.listLabel":"사용 가능한 프로젝트","electron.onboarding.workspace.loading":"프로젝트 불러오는 중…","electron.onboarding.workspace.openFolder":"프로젝트 추가","electron.onboarding.workspace.selectAll":"모두 선택","electron.onboarding.workspace.skip":"건너뛰기","electron.onboarding.workspace.skip.error":"새 프로젝트를 생성하지 못했습니다: {message}","electron.onboarding.workspace.skip.error.unknown":"알 수 없는 오류","electron.onboarding.workspace.skipping":"신규 프로젝트 생성 중…","electron.onboarding.workspace.subtitle":"Codex가 선택한 폴더에서 파일을 선택하고 명령을 실행할 수 있게 됩니다.","electron.onboarding.workspace.title":"프로젝트 선택","errorPage.list.checkSettings":"IDE 설정을 업데이트해 보세요","errorPage.list.configToml":"config.toml에 유효하지 않은 설정을 확인하세요","errorPage.list.downloadExtension":"확장 프로그램의 다른 버전을 다운로드해 보세요","errorPage.list.runInWsl":"호환성 문제가 발생한다면 설정을 확인해 WSL에서 실행을 비활성화하세요.","execApprovalRequest.menu.runAlways":"예, 이 세션에서 다시 묻지 마세요","execApprovalRequest.menu.runAlwaysWithAmendment":"네, 그리고 {command}(으)로 시작하는 커맨드에 대해 다시 묻지 않기","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"네, 그리고 다음으로 시작하는 커맨드에 대해 다시 묻지 않기:","execApprovalRequest.menu.runOnce":"예","execApprovalRequest.prompt":"이 커맨드를 실행할까요?","execApprovalRequest.reject":"아니요","execFooter.exitCode":"코드 종료 {code}","execFooter.exitCode.unknown":"알 수 없음","execFooter.success":"성공","feedback.dialog.category.badResult":"좋지 않은 결과","feedback.dialog.category.bug":"버그","feedback.dialog.category.goodResult":"좋은 결과","feedback.dialog.category.other":"기타","feedback.dialog.descriptionPlaceholder":"여기에 문제에 대해 설명해 주세요","feedback.dialog.dismiss":"무시","feedback.dialog.includeLogsLabel":"현재 Codex 세션 로그 포함","feedback.dialog.submit":"제출","feedback.dialog.submitError":"피드백을 제출하지 못했습니다. 잠시 후 다시 시도해 주세요.","feedback.dialog.title":"피드백","feedback.dialog.uploadedMessage.existingIssue":"현재 열려 있는 이슈","feedback.dialog.uploadedMessage.openIssue":"GitHub 이슈 열기","feedback.dialog.uploadedMessage.withThread":"피드백이 업로드되었습니다. 문제가 지속되면 {openIssueLink} 또는 {existingIssueLink} 내 스레드에 멘션하세요:","feedback.dialog.uploadedTitle":"피드백 업로드됨","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} 제거","header.back":"뒤로","header.recentChats":"작업","header.recentTasks.seeAll":"모두 보기({total})","home.header.getPlus":"Plus 이용하기","home.hero.letsBuild":"만들어 볼까요","homePage.mainContent":"메인 콘텐츠","imageAttachment.defaultName":"이미지","imageAttachment.preview.close":"이미지 미리 보기 닫기","imageAttachment.removeAriaLabel":"{filename} 제거","implementPlanRequest.option.implement":"네, 이 계획을 적용합니다","implementPlanRequest.prompt":"이 계획을 적용할까요?","inbox.archived.deleteError":"아카이브에 보관된 실행을 삭제할 수 없습니다","inbox.archived.deleteRun":"아카이브에 보관된 실행 삭제","inbox.archived.deleteSuccess":"아카이브에 보관된 스레드를 삭제했습니다. <settingsLink>아카이브 보관된 스레드</settingsLink>에서 보세요.","inbox.archived.inlineLabel.auto":"이 스레드는 자동으로 아카이브에 보관되었습니다. <learnMoreLink>자세히 알아보기</learnMoreLink>","inbox.archived.inlineLabel.manual":"이 스레드가 아카이브에 보관되었습니다.","inbox.archived.noMessageFound":"찾은 메시지 없음","inbox.automations.createError":"자동화를 생성하지 못했습니다","inbox.automations.deleteConfirm.cancel":"취소","inbox.automations.deleteConfirm.confirm":"자동화 삭제","inbox.automations.deleteConfirm.description":"자동화를 영구적으로 삭제하며 향후 실행을 중지합니다.","inbox.automations.deleteConfirm.title":"{name}을(를) 삭제할까요?","inbox.automations.deleteError":"자동화를 삭제할 수 없습니다","inbox.automations.editTooltip":"자동화 편집","inbox.automations.inProgress":"진행 중","inbox.automations.new":"신규","inbox.automations.newToolbar":"신규 자동화","inbox.automations.pauseTooltip":"자동화 일시 정지","inbox.automations.resumeTooltip":"자동화 다시 시작","inbox.automations.startingNow":"지금 시작 중","inbox.automations.startsIn":"{startTime} 후 시작","inbox.automations.status.active":"활성","inbox.automations.status.paused":"일시 정지됨","inbox.automations.status.runs":"{count}개의 실행","inbox.automations.status.started":"시작한 날짜 {date}","inbox.automations.updateError":"자동화를 업데이트하지 못했습니다","inbox.automations.workspaceFallback":"-","inbox.filter.all":"모두","inbox.filter.ariaLabel":"받은 편지함 항목 필터링","inbox.filter.unread":"읽지 않음","inbox.list.archived":"아카이브에 보관됨","inbox.list.inProgress":"진행 중","inbox.list.recent":"완료","inbox.list.upNext":"일정 예약됨","inbox.mode.automations":"자동화","inbox.mode.automations.beta":"베타","inbox.noDescription":"제공된 설명 없음","inbox.openThread":"스레드 열기","inbox.rightPanel.emptySubtitle":"작업 예약을 설정해 업무를 자동화하세요","inbox.rightPanel.emptySubtitle.learnMore":"스레드 예약을 설정해 업무를 자동화하세요. <link>자세히 알아보기</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {#개의 활성화된 자동화}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"읽지 않은 자동화 없음","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {#개의 읽지 않은 자동화}}","inbox.rightPanel.emptyTitle":"선택된 항목 없음","inbox.rightPanel.noThread":"이 항목의 스레드가 없습니다","inbox.rightPanel.quickStart.header":"템플릿으로 시작하기","inbox.untitled":"제목 없는 받은 편지함 항목","loadingPage.documentationLink":"문서","loadingPage.errorDescription":"Codex가 다음 오류로 충돌했습니다:","loadingPage.errorDescription.documentation":"다시 불러오기를 클릭해 Codex 확장 프로그램을 다시 시작하거나, {documentationLink}에서 추가 도움을 받으세요.","loadingPage.errorSignal":"시도해 볼 만한 것들:","loadingPage.errorTitle":"오류가 발생했습니다","loadingPage.openConfigToml":"Config.toml 열기","loadingPage.reload":"다시 불러오기","localConversation.contextCompacted":"컨텍스트가 자동으로 압축되었습니다","localConversation.contextCompacting":"자동으로 컨텍스트를 압축하는 중","localConversation.forkedFromConversation":"{threadTitle}(으)로부터 포크됨","localConversation.merge.autoResolve.failed":"자동 해결 요청 실패: {error}","localConversation.merge.autoResolve.sent":"자동 해결 요청 전송됨","localConversation.merge.autoResolveMerge.missingConversation":"활성화된 대화가 없어 자동으로 해결할 수 없습니다.","localConversation.merge.autoResolveMerge.request":"병합 충돌 자동 해결","localConversation.modelChanged":"{fromModel}에서 {toModel}(으)로 모델이 변경되었습니다.","localConversation.modelChanged.warning.line1":"대화 중 모델을 변경하면 성능이 떨어질 수 있습니다.","localConversation.modelChanged.warning.line2":"컨텍스트가 자동으로 압축될 수 있습니다.","localConversation.moveThread.createBranch.label":"브랜치 생성하기","localConversation.moveToLocal.disabled.loading":"불러오는 중...","localConversation.moveToLocal.modal.continue":"계속","localConversation.moveToLocal.modal.destinationLabel":"다음으로 이동","localConversation.moveToLocal.modal.retry":"다시 시도","localConversation.moveToWorktree.modal.back":"뒤로","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"이미 존재하는 브랜치입니다.","localConversation.moveToWorktree.modal.branchesError":"브랜치를 불러올 수 없습니다","localConversation.moveToWorktree.modal.branchesLoading":"브랜치 불러오는 중…","localConversation.moveToWorktree.modal.branchesRetry":"다시 시도","localConversation.moveToWorktree.modal.continue":"계속","localConversation.moveToWorktree.modal.retry":"다시 시도","localConversation.moveToWorktree.modal.trailingSlashError":'브랜치 이름은 "/"로 끝날 수 없습니다.',"localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"새 브랜치","localConversation.personalityChanged":"{personality} 성격으로 전환","localConversation.planSummary.collapse":"플랜 요약 축소","localConversation.planSummary.collapseTooltip":"축소","localConversation.planSummary.download":"플랜 다운로드","localConversation.planSummary.expand":"플랜 요약 확장","localConversation.planSummary.expandTooltip":"펼치기","localConversation.planSummary.openInNewWindow":"열기","localConversation.planSummary.openInNewWindow.tooltip":"새 창에서 열기","localConversation.planSummary.title":"플랜","localConversation.planSummary.titleWriting":"계획 쓰는 중","localConversation.planSummary.viewPlan":"플랜 확장","localConversation.remoteTaskCreated":"Codex 클라우드에서 {taskLink} 생성됨","localConversation.remoteTaskCreated.task":"작업","localConversation.scrollToBottomButton":"맨 아래로 스크롤","localConversation.sync.buttonLabel":"로컬로 핸드오프","localConversation.sync.buttonLabel.tooltip":"이 작업 트리와 로컬 체크아웃 간의 변경 사항을 핸드오프합니다.","localConversation.sync.modal.loading.title":"변경 사항 핸드오프 중…","localConversation.sync.modal.noChanges":"변경 사항 없음","localConversation.syncSetup.branchAriaLabel":"브랜치 이름","localConversation.syncSetup.branchName":"브랜치 이름","localConversation.syncSetup.branchPlaceholder.existing":"기존에 있는 브랜치를 선택하세요","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"브랜치 불러오는 중…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"이미 체크아웃됨","localConversation.syncSetup.checkoutClean":"현재 {branchName}","localConversation.syncSetup.checkoutDirty":"현재 커밋하지 않은 변경 사항 있음, {branchName}","localConversation.syncSetup.checkoutError":"브랜치를 체크아웃하지 못했습니다: {message}","localConversation.syncSetup.checkoutLabel":"지금 로컬로 체크아웃","localConversation.syncSetup.checkoutOnLocal":"로컬로 핸드오프","localConversation.syncSetup.checkoutPending":"로컬 상태 확인 중…","localConversation.syncSetup.checkoutUnavailable":"로컬 워크스페이스 사용할 수 없음","localConversation.syncSetup.checkoutUnknown":"로컬 브랜치 사용할 수 없음","localConversation.syncSetup.continue":"계속","localConversation.syncSetup.createBranchError":"핸드오프 브랜치를 설정하지 못했습니다: {message}","localConversation.syncSetup.error":"문제가 발생했습니다: {message}","localConversation.syncSetup.error.workingTreeMissing":"작업 트리를 스냅샷하지 못했습니다. 핸드오프를 다시 시도해 보세요.","localConversation.syncSetup.mode.ariaLabel":"브랜치 모드 선택","localConversation.syncSetup.mode.existing":"기존 브랜치","localConversation.syncSetup.mode.new":"새 브랜치","localConversation.syncSetup.noBranches":"찾은 브랜치 없음","localConversation.syncSetup.overwriteError":"브랜치를 생성했으나 완전히 핸드오프되지 않았습니다. 로컬로 체크아웃하기 전 수동으로 핸드오프하세요.","localConversation.syncSetup.setPrefix":"접두사 설정","localConversation.syncSetup.subtitle":"로컬로 작업 트리 변경 사항을 테스트 및 편집하세요. <a>자세히 알아보기</a>","localConversation.syncSetup.success.checkedOut":"브랜치가 생성되었으며 로컬로 체크아웃되었습니다","localConversation.syncSetup.success.notCheckedOut":"브랜치가 생성되었습니다","localConversation.syncSetup.title":"로컬 브랜치로 핸드오프","localConversation.syncWorktreeError.branchAriaLabel":"브랜치 이름","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"핸드오프할 브랜치를 선택한 뒤 변경 사항 불러오기를 다시 시도하세요.","localConversation.syncWorktreeError.branchSetup.title":"브랜치 업데이트","localConversation.syncWorktreeError.branchUpdate.cta":"업데이트한 뒤 다시 시도","localConversation.syncWorktreeError.branchUpdate.error":"브랜치 업데이트를 하지 못했습니다: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"문제가 발생했습니다: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"아무 작업 트리에서도 브랜치가 체크아웃되지 않았습니다.","localConversation.syncWorktreeV2.applyUncommitted":"적용","localConversation.syncWorktreeV2.applyUncommitted.disabled":"커밋하지 않은 변경 사항을 적용하려면 브랜치를 로컬로 체크아웃해야 합니다","localConversation.syncWorktreeV2.branches.empty":"찾은 브랜치 없음","localConversation.syncWorktreeV2.branches.loading":"브랜치 불러오는 중…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"핸드오프 브랜치 변경","localConversation.syncWorktreeV2.changeBranch.error":"핸드오프 브랜치 변경을 하지 못했습니다: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"적용 실패","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"작업 트리 덮어쓰기 실패","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"로컬 덮어쓰기 실패","localConversation.syncWorktreeV2.commandError.back":"뒤로","localConversation.syncWorktreeV2.commandError.body":"핸드오프 중 깃 커맨드가 실패했습니다. 출력을 검토하고 다시 시도하세요.","localConversation.syncWorktreeV2.commandError.retry":"다시 시도","localConversation.syncWorktreeV2.description":"로컬 및 이 작업 트리 사이에 변경 사항을 핸드오프합니다 <a>자세히 알아보세요</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"핸드오프 방향 선택","localConversation.syncWorktreeV2.error.generic":"핸드오프 중 문제가 발생했습니다. 다시 시도하세요.","localConversation.syncWorktreeV2.localBranchLabel":"로컬","localConversation.syncWorktreeV2.noChanges":"변경 사항 계산 중","localConversation.syncWorktreeV2.noChanges.summary":"변경 사항 없음","localConversation.syncWorktreeV2.overwrite.local":"로컬 덮어쓰기","localConversation.syncWorktreeV2.overwrite.worktree":"작업 트리 덮어쓰기","localConversation.syncWorktreeV2.partial.action.applyFailed":"변경 사항을 적용할 수 없습니다","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"로컬 변경 사항을 덮어쓰지 못했습니다","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"작업 트리 변경 사항을 덮어쓰지 못했습니다","localConversation.syncWorktreeV2.partial.appliedLabel":"적용됨","localConversation.syncWorktreeV2.partial.back":"뒤로","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"충돌을 해결하고 다시 시도하세요.","localConversation.syncWorktreeV2.partial.conflictsLabel":"충돌","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {#개의 파일}}","localConversation.syncWorktreeV2.partial.retry":"다시 시도","localConversation.syncWorktreeV2.partial.skippedLabel":"건너뜀","localConversation.syncWorktreeV2.stateFailed.generic":"핸드오프를 위해 작업 트리 변경 사항을 가져오던 중 문제가 발생했습니다. 다시 시도해 주세요.","localConversation.syncWorktreeV2.stateFailed.title":"작업 트리 변경 사항을 불러오지 못했습니다","localConversation.syncWorktreeV2.statusError.diffUnknown":"작업 트리 변경 사항을 불러오지 못했습니다.","localConversation.syncWorktreeV2.statusError.retry":"다시 시도","localConversation.syncWorktreeV2.statusError.title":"로컬 브랜치 변경 사항을 가져올 수 없습니다","localConversation.syncWorktreeV2.statusError.unknown":"현재 브랜치 상태를 사용할 수 없습니다. 다시 시도하세요.","localConversation.syncWorktreeV2.success.apply":"변경 사항을 적용했습니다","localConversation.syncWorktreeV2.success.overwrite":"핸드오프 성공","localConversation.syncWorktreeV2.title":"변경 사항 핸드오프","localConversation.syncWorktreeV2.worktreeLabel":"작업 트리","localConversation.userInputRequest.inProgress":"{count, plural, other {개의 질문}} 묻는 중","localConversation.userInputRequest.noAnswer":"제공된 답변 없음","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"요청함","localConversation.userInputRequest.summary.count":"{count, plural, other {#개의 질문}}","localConversation.workedFor":"{time} 동안 작업","localConversation.worktreeBranchSetup.action.create":"만들기","localConversation.worktreeBranchSetup.branchAriaLabel":"브랜치 이름","localConversation.worktreeBranchSetup.branchPlaceholder.new":"새 브랜치 만들기","localConversation.worktreeBranchSetup.checkoutDisabled":"이 브랜치는 이미 {location}에서 체크아웃되었습니다","localConversation.worktreeBranchSetup.checkoutError":"브랜치를 체크아웃하지 못했습니다: {message}","localConversation.worktreeBranchSetup.createBranchError":"브랜치를 설정하지 못했습니다: {message}","localConversation.worktreeBranchSetup.error":"문제가 발생했습니다: {message}","localConversation.worktreeBranchSetup.subtitle":"브랜치를 생성해 이 작업 트리에서 변경 사항을 커밋하고, 푸시하고, PR을 생성합니다. <a>자세히 알아보기</a>","localConversation.worktreeBranchSetup.title":"여기서 작업하세요","localConversationPage.addWorktreeToSidebar.tooltip":"프로젝트로 저장해 해당 작업 트리에서 새 스레드를 시작하세요","localConversationPage.addWorktreeToSidebarError":"프로젝트에 추가하지 못했습니다","localConversationPage.commitAndCreatePrModal.errorTitle":"커밋하고 PR 생성 실패","localConversationPage.commitAndCreatePrModal.successTitle":"커밋하고 PR 생성됨","localConversationPage.commitAndPushModal.errorTitle":"커밋하고 푸시 실패","localConversationPage.commitAndPushModal.successTitle":"커밋하고 푸시한 변경 사항","localConversationPage.commitCreatePr.open":"pull 요청 보기","localConversationPage.commitCreatePr.successTitle":"최신 변경 사항으로 PR 생성함","localConversationPage.createBranchButtonLabel":"여기에 브랜치","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR 만들기","localConversationPage.createPrModal.createDescription":"최신 변경 사항에 pull 요청을 엽니다.","localConversationPage.createPrModal.errorTitle":"Pull 요청 실패","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR 열기","localConversationPage.createPrModal.successTitle":"Pull 요청이 생성되었습니다","localConversationPage.createPrModal.title":"Pull 요청 생성하기","localConversationPage.createPrModal.viewDescription":"이 브랜치에는 이미 pull 요청이 있습니다.","localConversationPage.createPrModal.viewTitle":"Pull 요청 준비됨","localConversationPage.createPullRequestAuthGh":"GitHub CLI 인증: `gh auth login` 실행","localConversationPage.createPullRequestBranchMissing":"브랜치 정보 이용할 수 없음","localConversationPage.createPullRequestButtonLabel":"PR 만들기","localConversationPage.createPullRequestButtonLabel.loading":"PR 생성 중…","localConversationPage.createPullRequestDefaultBranchMissing":"기본 브랜치 정보 이용할 수 없음","localConversationPage.createPullRequestError":"Pull 요청을 생성하지 못했습니다","localConversationPage.createPullRequestExistingPullRequest":"이 브랜치에는 이미 pull 요청이 있습니다","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI 상태 불러오는 중…","localConversationPage.createPullRequestInstallGh":"GitHub CLI(gh)를 설치해 PR을 생성하세요","localConversationPage.createPullRequestNoRepo":"찾은 깃 저장소가 없습니다","localConversationPage.createPullRequestPushStatusMissing":"푸시 상태 불러오는 중…","localConversationPage.createPullRequestSetUpstream":"PR을 생성하기 전에 이 브랜치를 푸시하세요","localConversationPage.createPullRequestSuccessToast":"Pull 요청이 생성되었습니다","localConversationPage.createPullRequestSwitchBranch":"PR을 생성하기 전에 기능 브랜치를 체크아웃하세요","localConversationPage.error.render":"로컬 대화 렌더링 오류","localConversationPage.error.toast":"대화를 찾을 수 없음","localConversationPage.forcePushError":"강제 푸시 실패","localConversationPage.generatePullRequestMessageError":"Pull 요청 제목 및 본문 생성 실패","localConversationPage.generatePullRequestMessageFailed":"Pull 요청 제목 및 본문을 생성하지 못했습니다.","localConversationPage.gitActionResult.branch":"브랜치","localConversationPage.gitActionResult.cancel":"취소","localConversationPage.gitActionResult.close":"닫기","localConversationPage.gitActionResult.tryAgain":"다시 시도하기","localConversationPage.gitActions":"깃 액션","localConversationPage.newChat":"새 채팅","localConversationPage.openInTarget":"다음에서 열기","localConversationPage.openPrimaryTarget":"열기","localConversationPage.planItemsCompleted":"{totalItems, plural, other {#개의 작업 완료}} 중 {completedItems}","localConversationPage.pushAuthError":"푸시 실패: 인증 필요","localConversationPage.pushBranchMissing":"브랜치 정보 이용할 수 없음","localConversationPage.pushButtonLabel":"푸시","localConversationPage.pushButtonLabel.loading":"푸시 중…","localConversationPage.pushError":"변경 사항을 푸시하지 못했습니다","localConversationPage.pushModal.branchLabel":"브랜치","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"취소","localConversationPage.pushModal.confirm":"푸시","localConversationPage.pushModal.description":"원격 저장소에 최신 커밋을 푸시합니다.","localConversationPage.pushModal.errorTitle":"푸시 실패","localConversationPage.pushModal.forcePush":"푸시 강제","localConversationPage.pushModal.successTitle":"푸시 완료","localConversationPage.pushModal.title":"변경 사항 푸시","localConversationPage.pushModal.tryAgain":"다시 시도하기","localConversationPage.pushNoUpstream":"이 브랜치를 푸시하기 전에 업스트림을 설정하세요","localConversationPage.pushNoUpstreamError":"푸시 실패: 구성된 업스트림 없음","localConversationPage.pushNothingToPush":"푸시할 새 커밋이 없습니다","localConversationPage.pushRemoteChangedError":"푸시 실패: 원격에 새 커밋이 있음","localConversationPage.pushRemoteRejectedError":"원격에 의해 푸시 거부됨","localConversationPage.pushStatusMissing":"푸시 상태 불러오는 중…","localConversationPage.pushSuccessToast":"푸시된 변경 사항","localConversationPage.viewPullRequestButtonLabel":"PR 보기","localConversationPage.viewPullRequestButtonLabel.loading":"Pull 요청 불러오는 중…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {#개의 파일}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {#개의 목록}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {검색 #건}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"탐색 중","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"탐색 마침","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} 탐색 마침","localConversationTurnStory.showContent":"콘텐츠 보기","localConversationTurnStory.streamContent":"콘텐츠 스트리밍","localConversationTurnStory.toggleReasoning":"이성 표시","localTaskRow.archiveError":"대화를 아카이브에 보관하지 못했습니다","localTaskRow.resumeError":"작업을 다시 시작하지 못했습니다","mermaidDiagram.ariaLabel":"Mermaid 다이어그램","mermaidDiagram.copySource":"mermaid 복사","mermaidDiagram.originalCode":"Mermaid 소스 코드","notifications.permissions.description":"알림 권한이 필요할 때 알림을 표시합니다","notifications.permissions.label":"권한 알림 활성화","notifications.turnMode.always":"항상","notifications.turnMode.description":"끝났을 때 Codex가 알리도록 설정합니다","notifications.turnMode.label":"완료 알림 켜기","notifications.turnMode.off":"절대 안 함","notifications.turnMode.unfocused":"집중하지 않았을 때만","patchApprovalRequest.approve":"승인","patchApprovalRequest.menu.allowAlways":"예, 이 세션에서 다시 묻지 마세요","patchApprovalRequest.menu.allowForSession":"예, 이 세션에서 다시 묻지 마세요","patchApprovalRequest.menu.allowOnce":"예","patchApprovalRequest.prompt":"이 변경 사항을 적용할까요?","patchApprovalRequest.reject":"아니요","patchApprovalRequest.waitingForApproval":"파일 편집 승인을 기다리는 중","pendingRequest.approvalExec.collapse":"축소","pendingRequest.approvalExec.expand":"펼치기","pendingRequestStory.toastAnswer":"답변: {answer}","pendingRequestStory.toastApprovalTitle":"승인 응답","pendingRequestStory.toastFollowupPrompt":"프롬프트: {prompt}","pendingRequestStory.toastFollowupTitle":"후속 처리 전송 완료","pendingRequestStory.toastNoAnswers":"제공된 답변 없음","pendingRequestStory.toastQuestion":"질문: {question}","pendingRequestStory.toastUnknownDecision":"알 수 없음","pendingRequestStory.toastUserInputTitle":"제출된 답변","quickAction.request.codeReview.branches.new":"{from}에서 {to}에 비교한 변경 사항을 검토하세요","quickAction.request.codeReview.uncommitted.new":"커밋되지 않은 변경 사항을 검토해 주세요","reasoningItem.thinking":"생각 중","reasoningItem.thought":"생각함","reasoningItem.thoughtWithElapsed":"{elapsed} 동안 생각","recentConversations.title":"최근 대화","recentTasks.worktreeInitFailedTitle":"작업 트리 개시 실패","recentTasks.worktreeSettingUpTitle":"작업 트리 설정 중","requestInputPanel.continue":"계속","requestInputPanel.dismiss":"무시","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"여기에 입력","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"아니요, Codex에게 다르게 해야 할 내용을 설명해 주세요","requestInputPanel.selectedBadge":"선택됨","requestInputPanel.skip":"건너뛰기","requestInputPanel.submit":"제출","review.commit.ariaLabel.includeUnstaged":"스테이징되지 않은 사항 포함","review.commit.buttonLabel":"커밋","review.commit.disabled.committing":"커밋 중…","review.commit.disabled.loadingDiff":"diff 로드 중…","review.commit.disabled.missingContext":"컨텍스트를 추가해 커밋 메시지를 생성하세요","review.commit.disabled.noChanges":"커밋할 변경 사항이 없습니다","review.commit.disabled.noSelection":"커밋할 변경 사항을 선택하세요","review.commit.disabled.unavailable":"현재는 커밋할 수 없습니다","review.commit.error":"변경 사항을 커밋하지 못했습니다","review.commit.form.changesToBeCommitted":"개의 변경 사항","review.commit.form.commitTo":"브랜치","review.commit.form.commitTo.none":"-","review.commit.form.continue":"계속","review.commit.form.title":"변경 사항을 커밋하세요","review.commit.generate.emptyResponse":"커밋 메시지를 생성하지 못했습니다.","review.commit.generate.failed":"커밋 메시지 생성 실패: {error}","review.commit.generate.missingPrompt":"컨텍스트를 추가해 커밋 메시지를 생성하세요.","review.commit.includeUnstaged":"스테이징되지 않은 사항 포함","review.commit.loading.description":"잠깐 기다리세요, 시간이 약간 걸립니다…","review.commit.loading.step.commit.done":"커밋한 변경 사항","review.commit.loading.step.commit.pending":"변경 사항 커밋 중","review.commit.loading.step.createPr.done":"Pull 요청 생성됨","review.commit.loading.step.createPr.pending":"Pull 요청 생성 중","review.commit.loading.step.push.done":"브랜치 {branch}(으)로 푸시함","review.commit.loading.step.push.pending":"브랜치 {branch}(으)로 푸시하는 중","review.commit.loading.title.commit":"변경 사항 커밋 중","review.commit.loading.title.createPr":"PR 생성 중","review.commit.loading.title.push":"변경 사항 푸시하는 중","review.commit.messageLabel":"메시지 커밋","review.commit.messagePlaceholder":"커밋 메시지를 자동 생성하려면 공란으로 남겨 두세요","review.commit.nextSteps":"다음 단계","review.commit.nextSteps.commit":"커밋","review.commit.nextSteps.commitAndCreate":"커밋하고 PR 생성","review.commit.nextSteps.commitAndPush":"커밋하고 푸시","review.commit.nextSteps.prRequiresGh":"필요한 GitHub CLI : {command}","review.commit.rows.changes":"개의 변경 사항","review.commit.rows.commitCount":"{count, plural, other {#개의 커밋}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {#개의 커밋}} 및 {stats}","review.commit.rows.fileCount":"{count, plural, other {#개의 파일}}","review.commit.state.error.body":"커밋 중 문제가 발생했습니다. 깃 상태를 확인하고 다시 시도하세요.","review.commit.state.error.title":"커밋 실패함","review.commit.state.success.title":"변경 사항 커밋됨","review.commit.untracked.loadingStats":"추적되지 않은 변경 사항의 diff 통계를 불러오는 중...","reviewFindingAttachments.count":"{count, plural, other {#개의 결과}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"구성을 편집해 에이전트 행동을 맞춤 설정하세요","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"편집한 뒤 Codex를 다시 시작해 변경 사항을 적용하세요","settings.agent.configuration.subtitle":"이 설정은 Codex가 사용되는 모든 곳에 적용됩니다","settings.automations.banner.danger":"자동화가 현재 전체 액세스로 설정된 기본 샌드박스 설정으로 실행됩니다. 전체 액세스 상태에서 백그라운드 자동화를 실행하면 위험도가 높아질 수 있으며, Codex가 별도의 확인 없이 파일을 수정하거나 명령을 실행하고 네트워크에 접근할 수 있습니다. 샌드박스 설정을 워크스페이스 쓰기로 변경하고, <rulesDocsLink>규칙</rulesDocsLink>을 사용해 에이전트가 전체 액세스 권한으로 실행할 수 있는 명령을 선택적으로 정의하는 것을 고려해 보세요.","settings.automations.banner.defaultHowTo.default":"자동화가 기본 샌드박스 설정으로 실행됩니다. 워크스페이스 외부의 파일을 수정하거나, 네트워크에 접근하거나, 컴퓨터의 앱과 상호작용해야 하는 경우 도구 호출이 실패합니다. <rulesDocsLink>규칙</rulesDocsLink>을 사용하면 샌드박스 외부에서 실행할 수 있는 명령을 선택적으로 허용 목록에 추가할 수 있습니다.","settings.automations.banner.defaultHowTo.readOnly":"자동화가 읽기 전용으로 설정된 기본 샌드박스 설정으로 실행됩니다. 파일 수정, 네트워크 접근, 또는 컴퓨터의 앱과의 작업이 필요한 경우 도구 호출이 실패합니다. 샌드박스 설정을 워크스페이스 쓰기로 변경하는 것을 고려해 보세요.","settings.automations.cancel":"취소","settings.automations.create":"만들기","settings.automations.cwdEmpty":"사용 가능한 프로젝트 폴더 없음","settings.automations.cwdLabel":"프로젝트","settings.automations.cwdPlaceholder":"폴더를 선택하세요","settings.automations.cwdSubtitle":"특정 브랜치에서 자동화를 하려면 프롬프트에 명시해 주세요.","settings.automations.delete":"삭제","settings.automations.dialog.editTitle":"자동화 편집","settings.automations.dialog.newTitle":"신규 자동화","settings.automations.dialog.subtitle":"백그라운드에서 반복적인 작업을 자동화하세요. Codex가 받은 편지함에 찾은 결과를 추가하거나 보고할 내용이 없는 경우 자동으로 작업을 아카이브에 보관합니다. <learnMoreLink>자세히 알아보기</learnMoreLink>","settings.automations.dialog.title":"자동화 만들기","settings.automations.executionCopy.git":"전용 작업 트리의 백그라운드에서 자동화가 실행됩니다.","settings.automations.executionCopy.nonGit":"비버전 제어 프로젝트 내 자동화가 프로젝트 디렉토리에서 곧바로 실행됩니다. 깃을 사용해 백그라운드 작업 트리에서 실행 활성화하는 것을 고려해 보세요.","settings.automations.executionEnvironment.local":"로컬","settings.automations.executionEnvironment.worktree":"작업 트리","settings.automations.loading":"불러오는 중...","settings.automations.nameLabel":"이름","settings.automations.namePlaceholder":"Sentry 문제 확인","settings.automations.pause":"일시 정지","settings.automations.promptLabel":"프롬프트","settings.automations.promptPlaceholder":"$Sentry의 충돌 찾기","settings.automations.resume":"다시 시작","settings.automations.rruleSummaryFallback":"일정 맞춤 지정","settings.automations.runNow":"테스트","settings.automations.save":"저장","settings.automations.scheduleBadge.dayCount":"{count}일","settings.automations.scheduleBadge.interval":"{count}시간","settings.automations.scheduleBadge.weekdays":"주중","settings.automations.scheduleBadge.weekends":"주말","settings.automations.scheduleHeader":"일정 예약","settings.automations.scheduleHours":"시간","settings.automations.scheduleLabel":"다음 간격으로 실행","settings.automations.scheduleMode.daily":"매일","settings.automations.scheduleMode.interval":"간격","settings.automations.scheduleModeLabel":"일정 예약 유형","settings.automations.scheduleSummary.daily":"매일 {time}에","settings.automations.scheduleSummary.interval":"{count}시간마다","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {#일}}","settings.automations.scheduleSummary.intervalDays":"{interval}({days})","settings.automations.scheduleSummary.intervalHourly":"매 시간","settings.automations.scheduleSummary.singleDay":"{day} {time}에","settings.automations.scheduleSummary.weekdays":"주중 {time}","settings.automations.scheduleSummary.weekdaysLabel":"주중","settings.automations.scheduleSummary.weekends":"주말 {time}","settings.automations.scheduleSummary.weekendsLabel":"주말","settings.automations.scheduleSummary.weekly":"{days} {time}에","settings.automations.scheduleWeekdays":"켜짐","settings.automations.weekdayState.excluded":"제외됨","settings.automations.weekdayState.included":"포함됨","settings.conversationDetail.steps":"단계","settings.conversationDetail.steps.description":"커맨드 및 출력 숨기기","settings.conversationDetail.stepsWithCommands":"코드 커맨드 단계","settings.conversationDetail.stepsWithCommands.description":"커맨드 보기, 출력 축소","settings.conversationDetail.stepsWithOutput":"코드 출력 단계","settings.conversationDetail.stepsWithOutput.description":"커맨드 보기 및 출력 확장","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"아카이브에 보관된 채팅이 없습니다.","settings.dataControls.archivedChats.error":"아카이브에 보관된 채팅을 불러오지 못했습니다.","settings.dataControls.archivedChats.loading":"아카이브에 보관된 채팅 불러오는 중…","settings.dataControls.archivedChats.unarchive":"아카이브 보관 취소하기","settings.dataControls.archivedChats.unarchiveError":"채팅의 아카이브 보관을 취소하지 못했습니다","settings.dataControls.archivedChats.unarchiveSuccess":"아카이브 보관 취소된 스레드. <viewNowLink>지금 보기</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"아카이브 보관 취소된 스레드.","settings.dataControls.archivedChats.untitled":"제목 없는 채팅","settings.dataControls.archivedChats.viewNow":"지금 보기","settings.editRow.headerPlaceholder":"키","settings.editRow.removeEntry":"항목 제거","settings.editRow.valuePlaceholder":"값","settings.general.appearance":"보기","settings.general.appearance.codeFont":"코드 서체","settings.general.appearance.codeFont.description":"채팅, diff에서 코드에 사용한 서체와 크기를 바꿉니다","settings.general.appearance.codeFontFamily":"코드 서체군","settings.general.appearance.codeFontSize":"코드 서체 크기","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"시스템 투명도 대신 창이 뚜렷한 배경으로 나타납니다","settings.general.appearance.opaqueWindows.label":"불투명한 창 배경 사용","settings.general.appearance.sansFontFamily":"Sans 서체군","settings.general.appearance.sansFontFamily.description":"Codex UI에 사용할 서체를 변경합니다","settings.general.appearance.sansFontSize":"Sans 서체 크기","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark가 첫 번째 턴을 실행하는 동안 전체 창 축하 효과를 표시합니다","settings.general.appearance.sparkCelebrationEffects.label":"Spark 축하 효과","settings.general.appearance.theme":"테마","settings.general.appearance.theme.dark":"다크 모드","settings.general.appearance.theme.description":"라이트, 다크, 또는 시스템에 맞춘 테마를 사용하세요","settings.general.appearance.theme.light":"라이트 모드","settings.general.appearance.theme.system":"시스템","settings.general.appearance.usePointerCursors.description":"상호작용 요소에 마우스를 올리면 커서가 포인터로 변경됩니다","settings.general.appearance.usePointerCursors.label":"포인터 커서 사용","settings.general.enterBehavior.description":"활성화하면 여러 줄의 프롬프트는 {modifierSymbol} + Enter로 보내야 합니다.","settings.general.enterBehavior.label":"긴 프롬프트를 보내려면 {modifierSymbol} + Enter 필요","settings.general.experimentalFeatures":"실험적 기능(베타)","settings.general.experimentalFeatures.empty":"사용할 수 있는 베타 버전의 실험적 기능이 없습니다.","settings.general.experimentalFeatures.loading":"실험적 기능 불러오는 중...","settings.general.experimentalFeatures.restartNote":"Codex를 다시 시작하여 실험적 기능 변경을 적용하세요.","settings.general.experimentalFeatures.toggle":"{featureName} 토글","settings.general.followUpQueueMode.description":"Codex가 실행 중일 때 후속 행동을 대기열에 추가하거나 또는 현재 실행을 스티어링합니다. {invertFollowUpShortcutLabel}을(를) 눌러 한 메시지에는 반대로 실행합니다.","settings.general.followUpQueueMode.interrupt":"스티어링","settings.general.followUpQueueMode.label":"후속 행동","settings.general.followUpQueueMode.queue":"대기열 추가","settings.general.notifications":"알림","settings.general.power.preventSleepWhileRunning.description":"Codex가 스레드를 실행할 때는 컴퓨터를 재우지 마세요.","settings.general.power.preventSleepWhileRunning.label":"실행 중 절전 모드 방지","settings.git.branchPrefix.ariaLabel":"브랜치 접두사","settings.git.branchPrefix.description":"Codex에서 새 브랜치 생성 시 접두사 사용","settings.git.branchPrefix.label":"브랜치 접두사","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"브랜치 접두사를 저장하지 못했습니다","settings.git.branchPrefix.save.success":"브랜치 접두사를 저장했습니다","settings.git.commitInstructions.ariaLabel":"커밋 지침","settings.git.commitInstructions.description":"커밋 메시지 생성 프롬프트에 추가되었습니다","settings.git.commitInstructions.label":"커밋 지침","settings.git.commitInstructions.placeholder":"커밋 메시지 가이드를 추가하세요…","settings.git.commitInstructions.save":"저장","settings.git.commitInstructions.save.error":"커밋 지침을 저장하지 못했습니다","settings.git.commitInstructions.save.success":"커밋 지침을 저장했습니다","settings.git.forcePush.ariaLabel":"항상 강제 푸시","settings.git.forcePush.description":"Codex에서 푸시할 때 --force-with-lease를 사용합니다","settings.git.forcePush.label":"항상 강제 푸시","settings.git.forcePush.save.disabled":"항상 강제 푸시 비활성화됨","settings.git.forcePush.save.enabled":"항상 강제 푸시 활성화됨","settings.git.forcePush.save.error":"강제 푸시 설정을 저장하지 못했습니다","settings.git.prInstructions.ariaLabel":"Pull 요청 지침","settings.git.prInstructions.description":"Codex가 생성한 Pull 요청 본문에 추가됩니다","settings.git.prInstructions.label":"Pull 요청 지침","settings.git.prInstructions.placeholder":"Pull 요청 가이드 추가 중…","settings.git.prInstructions.save":"저장","settings.git.prInstructions.save.error":"Pull 요청 지침을 저장하지 못했습니다","settings.git.prInstructions.save.success":"Pull 요청 지침을 저장했습니다","settings.ide.defaultOpenTarget.description":"파일 및 폴더가 기본값으로 열리는 곳입니다","settings.ide.defaultOpenTarget.label":"기본 열림 위치","settings.ide.defaultOpenTarget.placeholder":"찾은 대상 없음","settings.ide.language.auto":"자동 탐지","settings.ide.language.autoOption":"자동 탐지","settings.ide.language.description":"앱 UI 언어","settings.ide.language.label":"언어","settings.ide.language.search":"언어 검색","settings.layout.actionButton":"확장 프로그램 다시 시작","settings.layout.actionTitle":"액션을 포함해 설정","settings.layout.fullWidthTitle":"설정(최대 폭)","settings.layout.title":"설정","settings.localEnvironments.actions.add":"액션 추가","settings.localEnvironments.actions.add.description":"툴바에서 실행하려면 새 커맨드를 생성하세요.","settings.localEnvironments.actions.add.save":"저장","settings.localEnvironments.actions.empty":"액션을 추가해 로컬 툴바에서 커맨드를 실행하세요.","settings.localEnvironments.actions.icon.debug":"디버그","settings.localEnvironments.actions.icon.run":"실행됨","settings.localEnvironments.actions.icon.test":"테스트","settings.localEnvironments.actions.icon.tool":"도구","settings.localEnvironments.actions.item.button.delete":"삭제","settings.localEnvironments.actions.item.command":"액션 스크립트","settings.localEnvironments.actions.item.name":"이름","settings.localEnvironments.actions.item.platforms":"플랫폼","settings.localEnvironments.actions.item.platforms.help":"특정 OS에서만 실행합니다.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"플랫폼 선택","settings.localEnvironments.actions.item.platforms.specific":"플랫폼 특화","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"삭제","settings.localEnvironments.actions.title":"액션","settings.localEnvironments.breadcrumb.back":"뒤로","settings.localEnvironments.breadcrumb.edit":"편집","settings.localEnvironments.breadcrumb.root":"환경","settings.localEnvironments.environment.actions.description":"이 액션은 모든 커맨드를 실행할 수 있으며 헤더에 표시됩니다.","settings.localEnvironments.environment.actionsLabel":"액션","settings.localEnvironments.environment.create":"로컬 환경 생성","settings.localEnvironments.environment.defaultName":"로컬","settings.localEnvironments.environment.edit":"로컬 환경 편집","settings.localEnvironments.environment.empty":"이 프로젝트에는 아직 로컬 환경이 구성되지 않았습니다.","settings.localEnvironments.environment.name":"이름","settings.localEnvironments.environment.setup":"설정 스크립트","settings.localEnvironments.environment.setup.description":"이 스크립트는 작업 트리 생성에서 실행됩니다.","settings.localEnvironments.environment.setup.hint":"프로젝트 루트에서 실행합니다.","settings.localEnvironments.environment.setup.platformOverrides":"플랫폼 덮어쓰기","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} 설정 스크립트 추가","settings.localEnvironments.environment.setup.platformOverrides.description":"특정 OS에 기본 스크립트를 덮어쓰기합니다.","settings.localEnvironments.environment.setup.platformOverrides.remove":"제거하기","settings.localEnvironments.environment.setup.script":"스크립트","settings.localEnvironments.environment.title":"환경 세부 정보","settings.localEnvironments.file.missing":"저장하여 처음으로 이 파일에 생성하세요.","settings.localEnvironments.file.parseError":"기존 파일을 파싱할 수 없습니다. 저장하면 덮어씌워집니다. ({error})","settings.localEnvironments.file.path":"파일: {path}","settings.localEnvironments.file.readError":"로컬 환경 데이터를 가져오지 못했습니다. ({error})","settings.localEnvironments.file.title":"로컬 환경 파일","settings.localEnvironments.loading.body":"프로젝트 구성을 가져오는 정입니다.","settings.localEnvironments.loading.title":"로컬 환경 불러오는 중","settings.localEnvironments.preview.devOnly":"(DEV 전용)","settings.localEnvironments.preview.save":"저장","settings.localEnvironments.preview.saveError":"파일을 저장하지 못했습니다. ({error})","settings.localEnvironments.preview.title":"미리 보기","settings.localEnvironments.save.disabled.name":"환경 이름을 추가해 저장하세요.","settings.localEnvironments.save.disabled.noChanges":"저장할 변경 사항이 없습니다.","settings.localEnvironments.save.disabled.saving":"저장 중…","settings.localEnvironments.save.success":"로컬 환경이 저장되었습니다","settings.localEnvironments.unavailable.body":"이 프로젝트에 로컬 환경 설정을 불러오지 못했습니다.","settings.localEnvironments.unavailable.title":"로컬 환경 사용할 수 없음","settings.localEnvironments.workspace.add":"프로젝트 추가","settings.localEnvironments.workspace.title":"프로젝트","settings.localEnvironments.workspaceSelect.addLabel":"환경 추가","settings.localEnvironments.workspaceSelect.description":"로컬 환경에서 Codex에 프로젝트에 작업 트리 설정하는 방법을 알려줍니다. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"아직 프로젝트가 없습니다. 추가하여 로컬 환경을 구성하세요.","settings.localEnvironments.workspaceSelect.errorLabel":"환경에 주의가 필요합니다","settings.localEnvironments.workspaceSelect.learnMore":"자세히 알아보기","settings.localEnvironments.workspaceSelect.listLabel":"사용 가능한 프로젝트","settings.localEnvironments.workspaceSelect.loading":"프로젝트를 불러오는 중입니다.","settings.localEnvironments.workspaceSelect.loadingLabel":"환경 불러오는 중","settings.localEnvironments.workspaceSelect.title":"프로젝트 선택","settings.localEnvironments.workspaceSelect.viewAction":"보기","settings.mcp.addServer":"서버 추가","settings.mcp.app.configure":"구성","settings.mcp.app.connect":"연결하기","settings.mcp.apps.refresh":"새로 고침","settings.mcp.detail.addArgument":"인자 추가","settings.mcp.detail.addEnvVar":"환경 변수 추가","settings.mcp.detail.addEnvVarPassthrough":"변수 추가","settings.mcp.detail.args":"인자","settings.mcp.detail.back":"뒤로","settings.mcp.detail.command":"실행 명령","settings.mcp.detail.cwd":"작업 중인 디렉토리","settings.mcp.detail.docs":"MCP 문서 열기","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"환경 변수 패스스루","settings.mcp.detail.envVars":"환경 변수","settings.mcp.detail.http.addEnvHeader":"변수 추가","settings.mcp.detail.http.addHeader":"헤더 추가","settings.mcp.detail.http.bearerToken":"기본 token 환경 변수","settings.mcp.detail.http.envHeaders":"환경 변수의 헤더","settings.mcp.detail.http.headers":"헤더","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"이름","settings.mcp.detail.save":"저장","settings.mcp.detail.switchTransportNotice":"MCP 서버 유형을 바꾸고 싶은 경우 먼저 설치를 제거하세요.","settings.mcp.detail.titleExisting":"{name} MCP 업데이트","settings.mcp.detail.titleNew":"맞춤형 MCP에 연결","settings.mcp.detail.transport.http":"스트리밍 가능한 HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"설치 제거하기","settings.mcp.empty":"연결된 맞춤형 MCP 서버 없음","settings.mcp.myServers":"맞춤형 서버","settings.mcp.partnerServer.description.figma":"전체 Figma 컨텍스트를 가져와 더 나은 코드를 생성합니다","settings.mcp.partnerServer.description.github":"GitHub API로 통합해 워크플로를 자동화하고 데이터를 추출합니다","settings.mcp.partnerServer.description.linear":"Linear의 이슈 추적 및 프로젝트 관리와 통합합니다","settings.mcp.partnerServer.description.notion":"문서를 읽고, 페이지를 업데이트하고, 작업을 관리합니다","settings.mcp.partnerServer.description.playwright":"브라우저 자동화를 통합해 디자인을 구현하고 UI를 테스트합니다.","settings.mcp.partnerServer.install":"설치하기","settings.mcp.partnerServer.installAndAuthenticate":"설치 및 인증","settings.mcp.partnerServer.logoAlt":"{label} 로고","settings.mcp.partnerServer.manage":"관리","settings.mcp.partnerServer.vendor":"작성자: {vendor}","settings.mcp.recommendedServers":"권장 서버","settings.mcp.restartApp":"다시 시작","settings.mcp.restartExtension":"확장 프로그램 다시 시작","settings.mcp.server.enable":"사용함","settings.mcp.server.login":"인증","settings.mcp.server.settings":"설정","settings.multiselect.createOption":'"{value}" 만들기',"settings.multiselect.removeOption":"제거하기","settings.nav.account":"계정","settings.nav.agent":"구성","settings.nav.ariaLabel":"설정","settings.nav.back":"앱으로 돌아가기","settings.nav.data-controls":"아카이브 보관된 스레드","settings.nav.environments":"클라우드 환경","settings.nav.externalTooltip":"[알파] 브라우저에서 열기","settings.nav.general-settings":"일반","settings.nav.git-settings":"깃","settings.nav.local-environments":"환경","settings.nav.mcp-settings":"MCP 서버","settings.nav.notImplemented":"[알파] 알파에서는 사용할 수 없습니다","settings.nav.personalization":"개인 맞춤 설정","settings.nav.skills-settings":"스킬","settings.nav.usage-analytics":"사용 및 애널리틱스","settings.nav.worktrees":"작업 트리","settings.openSourceLicenses.back":"뒤로","settings.openSourceLicenses.loading":"불러오는 중...","settings.openSourceLicenses.missing":"찾은 서드파티 알림이 없습니다.","settings.openSourceLicenses.notSupported":"이 호스트에서는 사용할 수 없습니다.","settings.openSourceLicenses.rowDescription":"디펜던시 묶음의 서드파티 알림","settings.openSourceLicenses.rowLabel":"오픈 소스 라이선스","settings.openSourceLicenses.subtitle":"이 앱에 포함된 디펜던시의 서드파티 알림","settings.openSourceLicenses.title":"오픈 소스 라이선스","settings.openSourceLicenses.view":"보기","settings.personalization.agents.description":"Codex가 내게 맞춤형으로 작동하도록 지침을 편집하세요. {learnMore}","settings.personalization.agents.learnMore":"자세히 알아보기","settings.personalization.agents.loadError":"agents.md를 불러올 수 없습니다.","settings.personalization.agents.loading":"agents.md 불러오는 중…","settings.personalization.agents.placeholder":"맞춤형 지침 추가…","settings.personalization.agents.retry":"다시 시도","settings.personalization.agents.save":"저장","settings.personalization.agents.save.error":"agents.md를 저장할 수 없습니다","settings.personalization.agents.save.success":"agents.md를 저장했습니다","settings.personalization.agents.title":"맞춤형 지침","settings.personalization.personality.description":"Codex 응답의 기본 어조를 선택하세요","settings.personalization.personality.label":"성격","settings.sample.contentBody":"이 레이아웃을 사용해 일관된 공백으로 설정 창을 구성하세요.","settings.sample.contentTitle":"샘플 콘텐츠 블록","settings.section.account":"계정","settings.section.agent":"구성","settings.section.data-controls":"아카이브 보관된 스레드","settings.section.environments":"클라우드 환경","settings.section.external":"알파 중에 브라우저 내에서 열립니다","settings.section.general-settings":"일반","settings.section.git-settings":"깃","settings.section.local-environments":"환경","settings.section.mcp-settings":"MCP 서버","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"외부 도구 및 데이터 출처를 연결하세요.","settings.section.personalization":"개인 맞춤 설정","settings.section.skills-settings":"스킬","settings.section.unavailable":"알파에서는 아직 사용할 수 없습니다","settings.section.usage-analytics":"사용 및 애널리틱스","settings.section.worktrees":"작업 트리","settings.threadDetail.description":"스레드에 표시할 커맨드 출력 양을 선택합니다","settings.threadDetail.label":"스레드 세부 정보","settings.worktrees.conversation.untitled":"제목 없는 대화","settings.worktrees.delete.error":"작업 트리를 삭제하지 못했습니다","settings.worktrees.empty.body":"Codex가 생성한 작업 트리가 여기 나타납니다.","settings.worktrees.empty.title":"작업 트리 없음","settings.worktrees.error.body":"작업 트리를 불러오는 중 문제가 발생했습니다.","settings.worktrees.error.retry":"다시 시도","settings.worktrees.error.title":"작업 트리를 불러올 수 없습니다","settings.worktrees.loading.body":"작업 트리 세부 정보를 가져오는 중입니다.","settings.worktrees.loading.title":"작업 트리 불러오는 중","settings.worktrees.repository.loading":"저장 메타데이터 불러오는 중…","settings.worktrees.repository.unknown":"알 수 없는 저장소","settings.worktrees.row.conversations":"대화","settings.worktrees.row.conversations.empty":"이 작업 트리에 연결된 대화가 없습니다.","settings.worktrees.row.conversations.loading":"대화 불러오는 중…","settings.worktrees.row.delete":"삭제","settings.worktrees.row.title":"작업 트리","sidebarElectron.addWorkspaceRoot":"새 프로젝트 추가","sidebarElectron.archiveThread":"스레드 아카이브에 보관","sidebarElectron.archiveThreadError":"스레드를 아카이브에 보관하지 못했습니다","sidebarElectron.collapseFolder":"폴더 축소","sidebarElectron.createStableWorktree.dialog.cancel":"취소","sidebarElectron.createStableWorktree.dialog.create":"만들기","sidebarElectron.debugNavLink":"디버그","sidebarElectron.editWorkspaceRootOptionName":"이름 편집","sidebarElectron.expandFolder":"폴더 확장","sidebarElectron.groupByMenu.recency":"시간 순서로 정리된 목록","sidebarElectron.groupByMenu.title":"정리","sidebarElectron.groupByMenu.workspace":"프로젝트별","sidebarElectron.inboxRouteNavLink":"자동화","sidebarElectron.markThreadUnread":"읽음으로 표시","sidebarElectron.missingWorkspaceRoot":"이 프로젝트 폴더는 삭제되거나 이동되었습니다","sidebarElectron.newThread":"새 스레드","sidebarElectron.newThreadInGroup":"{folder}에서 새 스레드 시작","sidebarElectron.noRecentThreads":"최근 스레드가 없습니다","sidebarElectron.noTasks":"스레드가 없습니다","sidebarElectron.noTasks.start":"새 프로젝트 추가","sidebarElectron.noTasksWithFilter":"필터에 맞는 스레드가 없습니다","sidebarElectron.pinnedThreads":"고정된 스레드","sidebarElectron.recentNavLink":"스레드","sidebarElectron.recentThreads":"최근 스레드","sidebarElectron.removeWorkspaceRootOption":"제거하기","sidebarElectron.renameThread":"스레드 이름 변경","sidebarElectron.renameThreadDialogAriaLabel":"스레드 제목","sidebarElectron.renameThreadDialogCancel":"취소","sidebarElectron.renameThreadDialogPlaceholder":"제목을 추가하세요…","sidebarElectron.renameThreadDialogSave":"저장","sidebarElectron.renameThreadDialogSubtitle":"짧고 알기 쉽게 만드세요.","sidebarElectron.renameThreadDialogTitle":"스레드 이름 변경","sidebarElectron.renameThreadError":"스레드 이름을 바꾸지 못했습니다","sidebarElectron.renameWorkspaceRootOptionLabel":"디스플레이 이름","sidebarElectron.showLess":"접기","sidebarElectron.showMenu.all":"모든 스레드","sidebarElectron.showMenu.relevant":"연관성 있음","sidebarElectron.showMenu.relevantHint":"현재 브랜치, 작업 트리, 기타 신경 써야 하는 스레드에 최신 스레드만 표시","sidebarElectron.showMenu.title":"보기","sidebarElectron.showMenu.tooltip":"스레드 필터링, 정렬 및 정리","sidebarElectron.showMenu.trigger":"사이드바 스레드 필터","sidebarElectron.showMore":"더 보기","sidebarElectron.skillsRouteNavLink":"스킬","sidebarElectron.sortMenu.created":"생성됨","sidebarElectron.sortMenu.title":"정렬 기준","sidebarElectron.sortMenu.updated":"업데이트됨","sidebarElectron.taskNavigation":"자동화 폴더","sidebarElectron.tasksInFolder":"{folder}에서 자동화","sidebarElectron.workspaceOptions":"{folder} 프로젝트 액션","sidebarElectron.worktreeGroupTooltip":"깃 작업 트리입니다","skills.appsPage.createSkill":"새 스킬","skills.appsPage.empty.skills":"찾은 스킬이 없습니다","skills.appsPage.search.skills":"스킬 검색","skills.appsPage.search.skills.label":"스킬 검색","skills.appsPage.section.installedApps":"설치되었습니다","skills.appsPage.section.skills":"스킬","skills.appsPage.subheading":"Codex에게 초능력을 주세요. <link>자세히 알아보기</link>","skills.appsPage.tab.recommended":"권장","skills.appsPage.tab.skills":"스킬","skills.card.contentsError":"스킬 콘텐츠를 불러올 수 없습니다.","skills.card.disable":"비활성화","skills.card.disableSuccess":"{skillName} 스킬이 비활성화되었습니다","skills.card.disabledBadge":"비활성화됨","skills.card.enable":"사용함","skills.card.enableSuccess":"{skillName} 스킬이 활성화되었습니다","skills.card.loadingContents":"스킬 콘텐츠 불러오는 중…","skills.card.more":"더 많은 액션","skills.card.open":"열기","skills.card.removeFailed":"스킬 설치 제거를 하지 못했습니다","skills.card.removeSuccess":"{skillName} 스킬이 설치 제거되었습니다","skills.card.toggleEnabledError":"스킬 업데이트를 하지 못했습니다","skills.card.try":"시도하기","skills.card.trySkill":"스킬 써 보기","skills.card.uninstall":"설치 제거하기","skills.hero.dotLabel":"슬라이드 {index}(으)로 가기","skills.hero.next":"다음 추천 기능","skills.hero.trySkill":"스킬 써 보기","skills.page.createSkill":"새 스킬","skills.page.empty":"찾은 스킬이 없습니다","skills.page.filteredEmpty":"필터에 맞는 스킬이 없습니다","skills.page.filteredEmptyDescription":"검색이나 필터 범위를 조정해 보세요","skills.page.heading":"스킬","skills.page.loading":"스킬 불러오는 중…","skills.page.refreshSkills":"새로 고침","skills.page.refreshSkillsToUseNew":"새로 고침해 새 스킬 사용","skills.page.search":"스킬 검색","skills.page.search.label":"스킬 검색","skills.page.subheading":"Codex에게 초능력을 주세요. <link>자세히 알아보기</link>","skills.preview.copyPrompt":"프롬프트 복사","skills.preview.examplePrompt":"프롬프트 예시","skills.recommended.error":"권장 스킬을 불러오지 못했습니다","skills.recommended.install":"설치하기","skills.recommended.installSkill":"스킬 설치","skills.recommended.installSuccess":"{skillName} 스킬이 설치되었습니다","skills.recommended.installed":"설치되었습니다","skills.scope.admin":"관리자","skills.scope.adminInstalled":"관리자 설치됨","skills.scope.builtIn":"시스템","skills.scope.personal":"개인","skills.scope.repo":"저장소","skills.scope.system":"시스템","skills.scope.team":"Team","skills.scope.user":"사용자","skills.section.installed":"설치되었습니다","skills.section.recommended":"권장","story.slidingToggle.existing":"기존","story.slidingToggle.fromLocal":"로컬에서","story.slidingToggle.new":"신규","story.slidingToggle.toLocal":"로컬로","terminal.close":"터미널 닫기","terminal.title":"터미널","thinkingShimmer.default":"생각 중","threadEnvIcon.cloudTooltip":"이 대화는 Codex 클라우드에서 구동 중입니다.","threadEnvIcon.localTooltip":"이 대화는 로컬로 실행 중입니다.","threadEnvIcon.worktreeTooltip":"이 대화는 로컬 깃 작업 트리에서 구동 중입니다.","threadHeader.archiveConfirmCancel":"취소","threadHeader.archiveConfirmConfirm":"아카이브에 보관","threadHeader.archiveConfirmSubtitle":"나중에 아카이브 보관된 스레드에서 찾을 수 있습니다.","threadHeader.archiveConfirmTitle":"스레드를 아카이브에 보관할까요?","threadHeader.copyAppLink":"딥링크 복사","threadHeader.copySessionId":"세션 ID 복사","threadHeader.copyWorkingDirectory":"작업 중인 디렉토리 복사","threadHeader.forkIntoLocal":"로컬로 포크","threadHeader.forkIntoWorktree":"새 작업 트리로 포크","threadHeader.forkPendingWorktreePrompt":"이 대화를 새 작업 트리로 포크합니다.","threadHeader.forkPendingWorktreeTitle":"포크된 대화","threadHeader.forkThreadError":"스레드 포크 실패","threadHeader.forkThreadRequiresGitRepo":"새 작업 트리로 포크하려면 git 저장소 필요","threadHeader.moreActions":"스레드 액션","threadPage.newThread":"새 스레드","threadPage.runAction.changeEnvironment":"환경 변경","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName}개의 액션","threadPage.runAction.environmentSelector.label":"환경 선택","threadPage.runAction.label":"실행됨","threadPage.runAction.missing.label":"실행 액션 설정","threadPage.runAction.setup.commandLabel":"실행 명령","threadPage.runAction.setup.description":"Codex에게 디펜던시 설치법을 알려주고 앱을 시작하세요.","threadPage.runAction.setup.editMore":"환경 설정","threadPage.runAction.setup.placeholder":"예: npm install npm run","threadPage.runAction.setup.submit":"저장하고 실행","threadPage.runAction.setup.title":"실행됨","threadPage.runAction.tooltip.withEnvironment":"{environmentName}개의 액션","threadPage.toggleDiffPanel":"diff 패널 토글","threadPage.toggleTerminal":"터미널 토글","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"폴더 열기","toolSummaryForCmd.exploredFiles":"파일 <verb>목록 작성함</verb>","toolSummaryForCmd.exploredFilesInPath":"{path}에 파일 <verb>목록 작성함</verb>","toolSummaryForCmd.exploringFiles":"파일 <verb>목록 작성 중</verb>","toolSummaryForCmd.exploringFilesInPath":"{path}에 파일 <verb>목록 작성 중</verb>","toolSummaryForCmd.ranGenericCommand":"<status>커맨드 실행</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"{command}{timer} <status>실행함</status>","toolSummaryForCmd.read":"{path} <verb>읽음</verb>","toolSummaryForCmd.runningGenericCommand":"<status>커맨드 실행 중</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}","toolSummaryForCmd.searchedFor":"{query} <verb>검색함</verb>","toolSummaryForCmd.searchedForFiles":"파일 <verb>검색함</verb>","toolSummaryForCmd.searchedForInPath":"{path}에서 {query} <verb>검색함</verb>","toolSummaryForCmd.searchingFor":"{query} <verb>검색 중</verb>","toolSummaryForCmd.searchingForFiles":"파일 <verb>검색 중</verb>","toolSummaryForCmd.searchingForInPath":"{path} 에서 {query} <verb>검색 중</verb>","traceRecording.details.noteLabel":"이 일이 발생했을 때 무엇을 하고 있었나요?(선택)","traceRecording.details.notePlaceholder":"대형 스레드로 이동된 뒤 반복해서 탭이 전환되었습니다…","traceRecording.details.submit":"추적 보내기","traceRecording.details.subtitle":"이 프로필 추적을 전송해 성능 문제 진단에 도움을 줄 수 있습니다.","traceRecording.details.title":"프로필 추적을 보낼까요?","traceRecording.progress.subtitle":"완료되는 동안 Codex를 계속 열어 둡니다.","traceRecording.saving.title":"추적 저장 중…","traceRecording.startDetails.cancel":"취소","traceRecording.startDetails.submit":"확인, 기록을 시작합니다","traceRecording.startDetails.subtitle":"확인을 클릭한 뒤, 성능 문제를 재생성하고 떠 다니는 빨간 표시를 클릭하여 추적을 검토하세요.","traceRecording.startDetails.title":"추적 기록이 진행되는 방법","traceRecording.stopButton.ariaLabel":"추적 기록 중지","traceRecording.upload.successToast":"프로필 추적을 보냈습니다.","traceRecording.uploading.title":"추적 업로드 중...","wham.diff.addComment":"댓글 추가","wham.diff.binaryFile":"바이너리 파일 표시되지 않음","wham.diff.noContent":"내용 없음","wham.fileTag.deleted":"삭제됨","wham.fileTag.new":"신규","wham.formattedRelativeDateTime.compactDaysAgo":"{value}일","wham.formattedRelativeDateTime.compactHoursAgo":"{value}시간","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}분","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}개월","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}주","wham.formattedRelativeDateTime.compactYearsAgo":"{value}년","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"작업을 준비 중입니다","wham.whamProposedTask.title":"제안된 작업","wham.whamProposedTask.useSuggestion":"제안 사용","workspaceRootDialog.addError":"프로젝트에 추가하지 못했습니다","workspaceRootDialog.cancel":"취소","workspaceRootDialog.confirmAdd":"프로젝트 추가","workspaceRootDialog.confirmPick":"프로젝트 사용","workspaceRootDialog.description":"{host}에 경로를 입력해 프로젝트로 사용하세요.","workspaceRootDialog.pathLabel":"프로젝트 경로","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"프로젝트 경로 추가","workspaceRootDialog.title.pick":"프로젝트 경로를 선택하세요","worktreeInitV2.cancel":"취소","worktreeInitV2.notification.failedTitle":"작업 트리 설정 실패함","worktreeInitV2.output.empty":"출력 기다리는 중…","worktreeInitV2.status.error":"작업 트리 설정 실패함.","worktreeInitV2.status.running":"작업 트리를 만들고 설정을 실행하는 중.","worktreeInitV2.status.runningFork":"이 대화를 포크하기 위해 작업 트리를 생성 중입니다.","worktreeInitV2.status.success":"작업 트리 준비됨.","worktreeInitV2.title":"작업 트리 생성 중","worktreeInitV2.workLocallyInstead":"대신 로컬로 작업","worktreeRestoreBanner.body":"이 스레드의 작업 트리는 디스크 공간 확보를 위해 제거되었습니다","worktreeRestoreBanner.missing.body":"이 스레드의 작업 디렉토리는 더 이상 존재하지 않습니다","worktreeRestoreBanner.missing.title":"현재 작업 디렉토리가 없습니다","worktreeRestoreBanner.restore.error":"작업 트리를 복구하지 못했습니다: {message}","worktreeRestoreBanner.restore.success":"작업 트리를 복구했습니다","worktreeRestoreBanner.restoreCta":"작업 트리 복구","worktreeRestoreBanner.title":"작업 트리 정리됨"};Object.assign(e,globalThis.codexI18nOverrides?.["ko-KR"]);export{e as default};
 //# sourceMappingURL=ko-KR-Cz0CtMlz.js.map
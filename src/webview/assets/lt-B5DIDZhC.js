@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopijuoti","app.sidebar.hide":"Slėpti šoninę juostą","app.sidebar.show":"Rodyti šoninę juostą","app.sidebar.tooltip":"Perjungti šoninę juostą","appHeader.installUpdate":"Atnaujinti","appSunset.body":"Ši progr. versija nebepalaikoma. Naujausią versiją atsisiųskite <here>čia</here>.","appSunset.title":"Reikia atnaujinti","automation.updateDirective.create":"Kurti","automation.updateDirective.open":"Atidaryta","automation.updateDirective.untitled":"Automatizavimas be pavadinimo","automation.updateDirective.update":"Atnaujinti","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# bandymas} few {# bandymai} many {# bandymų} other {# bandymų}}","cloudTaskRow.archiveError":"Nepavyko archyvuoti užduoties","code.diff.requestChange":"Pateikti keitimo užklausą","code.diffComment.cancel":"Atšaukti","code.diffComment.comment":"Komentaras","code.diffComment.delete":"Šalinti","code.diffComment.save":"Įrašyti","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Apie jokius rezultatus nepranešta.","codex.alert.closeAriaLabel":"Uždaryti","codex.appUpsellBanner.cbpApi.message":"Kurkite greičiau su „Codex“ progr. Atsisiųskite dabar arba {learnMoreLink}.","codex.appUpsellBanner.download":"Atsisiųsti","codex.appUpsellBanner.freeGo.message":"„Codex“ yra įtrauktas į jūsų planą iki kovo 2 d. Išbandykite „Codex“ progr., kad galėtumėte kurti greičiau.","codex.appUpsellBanner.later":"Vėliau","codex.appUpsellBanner.learnMoreLowercase":"Sužinokite daugiau","codex.appUpsellBanner.new":"Naujas","codex.appUpsellBanner.proPlusBusiness.message":"Išbandykite „Codex“ progr. su 2 kartus didesniais tarifų limitais iki balandžio 2 d. Atsisiųskite dabar arba {learnMoreLink}.","codex.appUpsellBanner.title":"„Codex“ progr.","codex.applyDropdown.header.changes":"Pakeitimai","codex.applyDropdown.header.fileCount":"{count, plural, one {# failas} few {# failų} many {# failų} other {# failų}}","codex.applyDropdown.header.rows":"eilutės","codex.applyDropdown.header.title":"Taikyti pakeitimus","codex.applyDropdown.header.workspace":"Projektas","codex.applyDropdown.results.conflicted":"{count, plural, one {1 failas konfliktuoja:} few {{count} failai konfliktuoja:} many {{count} failų konfliktuoja:} other {{count} failų konfliktuoja:}}","codex.applyDropdown.results.empty":"Failai nebuvo nukopijuoti","codex.applyDropdown.results.skipped":"{count, plural, one {1 failas praleistas:} few {{count} failai praleisti:} many {{count} failų praleista:} other {{count} failų praleista:}}","codex.applyOrRevertBanner.apply":"Taikyti","codex.applyOrRevertBanner.applyMessage":"Pritaikyti pakeitimus ir tęsti lokaliai?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ši užduotis buvo atlikta {environment} taip, kad ji gali būti netiksliai pritaikyta.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Tokiu būdu atlikti pakeitimai {environment} gali būti netaikomi tiksliai.","codex.applyOrRevertBanner.reapply":"Vėl taikyti","codex.applyOrRevertBanner.revert":"Grąžinti","codex.applyOrRevertBanner.revertMessage":"Atšaukti pritaikytus pakeitimus?","codex.applyResultsDialog.applied":"Tiksliai pritaikyta ({count})","codex.applyResultsDialog.close":"Uždaryti","codex.applyResultsDialog.conflicted":"Konfliktuota ({count})","codex.applyResultsDialog.noDetails":"Nėra failo informacijos.","codex.applyResultsDialog.skipped":"Praleista ({count})","codex.applyResultsDialog.title":"Taikyti rezultatus","codex.archiveInfo":"Peržiūrėti archyvuotus pokalbius {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Duomenų valdikliai","codex.archiveInfo.electron":"Peržiūrėti archyvuotus pokalbius {settingsLink}","codex.archiveInfo.extension":"Peržiūrėkite archyvuotus pokalbius savo .codex aplanke.","codex.archiveInfo.settingsLink":"Nuostatos","codex.banner.content.description":"Vykdykite užduotis lygiagrečiai, sekite eigą bet kur ir peržiūrėkite PR naudodami dirbtinį intelektą.","codex.banner.content.headline":"„Codex“ viską daro.","codex.cloudTaskRow.archiveTask":"Archyvuoti užduotį","codex.cloudTaskRow.confirmArchiveTask":"Patvirtinti","codex.command.feedback":"Atsiliepimas","codex.command.findInThread":"Rasti","codex.command.forceReloadSkills":"Priversti įkelti įgūdžius iš naujo","codex.command.logOut":"Atsijungti","codex.command.manageTasks":"Tvarkyti užduotis","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Atgal","codex.command.navigateForward":"Pirmyn","codex.command.newThread":"Nauja gija","codex.command.nextThread":"Kita gija","codex.command.openFolder":"Atidaryti aplanką","codex.command.openSkills":"Eikite į įgūdžius","codex.command.openThreadOverlay":"Iššokanti gija","codex.command.personalitySettings":"Asmenybė","codex.command.previousThread":"Ankstesnė gija","codex.command.settings":"Nuostatos","codex.command.toggleDiffPanel":"Perjungti skirtumų skydelį","codex.command.toggleSidebar":"Perjungti šoninę juostą","codex.command.toggleTerminal":"Perjungti terminalą","codex.commandGroup.app":"Programėlė","codex.commandGroup.configure":"Konfigūruoti","codex.commandGroup.navigation":"Navigacija","codex.commandGroup.panels":"Skydeliai","codex.commandGroup.skills":"Įgūdžiai","codex.commandGroup.thread":"Gija","codex.commandGroup.workspace":"Projektas","codex.commandMenu.noResults":"Nerasta atitikmenų","codex.commandMenu.searchPlaceholder":"Paieškos komandos","codex.commandMenu.suggestedGroup":"Siūloma","codex.commandMenu.switchWorkspace":"Perjungti projektą","codex.commandMenu.title":"Komandos meniu","codex.common.retry":"Bandyti iš naujo","codex.composer.searchBranches":"Ieškoti atšakų","codex.dialog.basic.body":"Tai paprastas modalinis dialogo langas, naudojantis mūsų apvalkalą aplink „Radix“ dialogo langą.","codex.dialog.basic.cancel":"Atšaukti","codex.dialog.basic.confirm":"Patvirtinti","codex.dialog.basic.open":"Atidaryti dialogo langą","codex.dialog.basic.title":"Dialogo lango pavyzdys","codex.dialog.long.close":"Uždaryti","codex.dialog.long.line":"Slenkama eilutė {index}, skirta ilgam turiniui dialogo lange rodyti. ","codex.dialog.long.open":"Atidaryti ilgą dialogo langą","codex.dialog.long.title":"Ilgo turinio dialogo langas","codex.dialog.unstyled.body":"Šioje istorijoje parodyta, kaip skambinantieji gali visiškai kontroliuoti dialogo lango turinio stilių.","codex.dialog.unstyled.open":"Atidaryti nestilizuotą dialogo langą","codex.dialog.unstyled.title":"Nestilizuotas turinys","codex.diff.openInEditorPrompt.openButton":"Atidaryti rengyklėje","codex.diff.openInEditorPrompt.singleLine":"Šis failas per didelis, kad būtų galima čia rodyti.","codex.diffView.failedToDecodeBase64Diff":"Nepavyko iššifruoti „base64“ skirtumo","codex.diffView.filesChanged":"{fileCount, plural, one {# failas pakeistas} few {# failai (-ų) pakeisti (-a)} many {# failai (-ų) pakeisti (-a)} other {# failai (-ų) pakeisti (-a)}}","codex.diffView.imagePreviewAlt":"Vaizdo peržiūra","codex.diffView.imagePreviewEmpty":"Nėra vaizdo","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nėra skirtumų duomenų","codex.diffView.pdfPreview.nextPage":"Kitas puslapis","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Ankstesnis puslapis","codex.diffView.pdfPreviewEmpty":"Nėra PDF peržiūros","codex.diffView.pdfPreviewError":"Nepavyksta pateikti PDF peržiūros","codex.diffView.richPreviewDisable":"Išjungti išsamią peržiūrą","codex.diffView.richPreviewEnable":"Įjungti išsamią peržiūrą","codex.diffView.richPreviewLoading":"Įkeliama peržiūra...","codex.diffView.richPreviewToggle":"Perjungti išsamią peržiūrą","codex.diffView.switchToUnified":"Perjungti į vieningą skirtumą","codex.environmentSelector.noEnvironment":"Nėra aplinkos","codex.environments.environmentSettings":"Aplinkos nustatymai","codex.environments.learnMore":"Sužinokite daugiau","codex.environments.listError":"Nepavyko įkelti aplinkų.","codex.environments.noEnvironmentsFound":"Nerasta aplinkų","codex.environments.searchError":"Nepavyko ieškoti aplinkų.","codex.errorBoundary.genericError":"Oi, įvyko klaida","codex.errorBoundary.goHome":"Bandyti dar kartą","codex.file.patch.missing":"Nepavyko sukurti šio failo pataisos.","codex.gallery.automations.cwdLabel":"Projektai","codex.gallery.automations.nameLabel":"Pavadinimas","codex.gallery.automations.namePlaceholder":"Apibendrinti užduotį","codex.gallery.automations.promptLabel":"Raginimas","codex.gallery.automations.promptPlaceholder":"Apibūdinkite, ką turėtų daryti „Codex“","codex.gallery.dialogs.automation.label":"Automatikos dialogo langas","codex.gallery.dialogs.basic.body":"Šį išdėstymą naudokite paprastiems patvirtinimams arba trumpoms formoms.","codex.gallery.dialogs.basic.cancel":"Atšaukti","codex.gallery.dialogs.basic.confirm":"Patvirtinti","codex.gallery.dialogs.basic.label":"Pagrindinis dialogo langas","codex.gallery.dialogs.basic.title":"Dialogo lango pavyzdys","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Apibūdinkite problemą","codex.gallery.dialogs.feedbackSubmission.bad":"Blogas rezultatas","codex.gallery.dialogs.feedbackSubmission.bug":"Klaida","codex.gallery.dialogs.feedbackSubmission.good":"Geras rezultatas","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Įtraukti dabartinius „Codex“ seanso žurnalus","codex.gallery.dialogs.feedbackSubmission.label":"Atsiliepimo pateikimas","codex.gallery.dialogs.feedbackSubmission.other":"Kita","codex.gallery.dialogs.feedbackSubmission.placeholder":"Aprašykite problemą čia","codex.gallery.dialogs.feedbackSubmission.submit":"Pateikti","codex.gallery.dialogs.feedbackSubmission.title":"Atsiliepimas","codex.gallery.dialogs.feedbackSuccess.body":"Atsiliepimas įkeltas. Jei problema išlieka, atidarykite „GitHub“ problemą arba paminėkite gijos ID esamoje atviroje problemoje:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Atmesti","codex.gallery.dialogs.feedbackSuccess.label":"Atsiliepimas sėkmingas","codex.gallery.dialogs.feedbackSuccess.title":"Atsiliepimas įkeltas","codex.gallery.dialogs.gitApplyResults.applied":"Tiksliai pritaikyta (2)","codex.gallery.dialogs.gitApplyResults.close":"Uždaryti","codex.gallery.dialogs.gitApplyResults.conflicted":"Konfliktuota (1)","codex.gallery.dialogs.gitApplyResults.label":"Taikyti rezultatus","codex.gallery.dialogs.gitApplyResults.title":"Taikyti rezultatus","codex.gallery.dialogs.gitPushError.body":"Ištraukite naujausius pakeitimus arba priverstinai juos perrašykite, jei žinote, kad nuotolinę istoriją saugu perrašyti.","codex.gallery.dialogs.gitPushError.cancel":"Atšaukti","codex.gallery.dialogs.gitPushError.force":"Priversti spausti","codex.gallery.dialogs.gitPushError.label":"Spaudimo klaida","codex.gallery.dialogs.gitPushError.subtitle":"Jūsų ašaka yra už origi./pagr.","codex.gallery.dialogs.gitPushError.title":"Nepavyko paspausti pakeitimų","codex.gallery.dialogs.gitRevert.cancel":"Atšaukti","codex.gallery.dialogs.gitRevert.confirm":"Grąžinti","codex.gallery.dialogs.gitRevert.label":"Grąžinti pakeitimus","codex.gallery.dialogs.gitRevert.skip":"Daugiau nebeklausti","codex.gallery.dialogs.gitRevert.subtitle":"Šis veiksmas pašalina visus šiuos pakeitimus.","codex.gallery.dialogs.gitRevert.title":"Grąžinti pakeitimus?","codex.gallery.dialogs.longForm.label":"Ilgos formos dialogas","codex.gallery.dialogs.proseModal.body":"Šis modalinis stilius naudojamas ilgesnėms instrukcijoms, įvadiniam mokymuisi arba raiškiojo turinio blokams.","codex.gallery.dialogs.proseModal.close":"Uždaryti","codex.gallery.dialogs.proseModal.subtitle":"Čia galite dalytis ilgesnėmis instrukcijomis ar dokumentais.","codex.gallery.dialogs.proseModal.title":"Prozos modalas","codex.gallery.dialogs.submitBlocked.label":"Pateikti užblokuotus","codex.gallery.dialogs.submitBlocked.message":"Jūsų pranešimo išsiųsti nepavyko, nes projektas nepasiekiamas.","codex.gallery.dialogs.submitBlocked.ok":"Gerai","codex.gallery.dialogs.submitBlocked.title":"Nepavyko išsiųsti pranešimo","codex.gallery.dialogs.title":"Dialogo langai","codex.gallery.dropdown.filterPlaceholder":"Filtruoti elementus","codex.gallery.dropdowns.actionRow":"Veiksmų eilės","codex.gallery.dropdowns.actionRow.disabled":"Išjungtas veiksmas","codex.gallery.dropdowns.actionRow.primary":"Pagrindinis veiksmas","codex.gallery.dropdowns.actionRow.secondary":"Antrinis veiksmas","codex.gallery.dropdowns.actionRow.trigger":"Rodyti veiksmus","codex.gallery.dropdowns.basic":"Pagrindinis išskleidžiamasis meniu","codex.gallery.dropdowns.basic.newFile":"Naujas failas","codex.gallery.dropdowns.basic.newFolder":"Naujas aplankas","codex.gallery.dropdowns.basic.openSettings":"Atidaryti nuostatas","codex.gallery.dropdowns.basic.title":"Greiti veiksmai","codex.gallery.dropdowns.basic.trigger":"Atidaryti meniu","codex.gallery.dropdowns.basic.upload":"Įkelti","codex.gallery.dropdowns.panel":"Skydo paviršius","codex.gallery.dropdowns.panel.apply":"Taikyti","codex.gallery.dropdowns.panel.body":"Peržiūrėkite skirtumus ir pritaikykite juos savo projektui.","codex.gallery.dropdowns.panel.preview":"Peržiūrėti","codex.gallery.dropdowns.panel.title":"Taikyti pakeitimus","codex.gallery.dropdowns.panel.trigger":"Atidaryti skydelį","codex.gallery.dropdowns.search":"Išskleidžiamasis meniu su paieška","codex.gallery.dropdowns.search.first":"Alpha kanalas","codex.gallery.dropdowns.search.second":"Beta atšaka","codex.gallery.dropdowns.search.third":"Išleisti kandidatą","codex.gallery.dropdowns.search.trigger":"Filtruoti elementus","codex.gallery.dropdowns.submenu":"Išskleidžiamasis meniu su submeniu","codex.gallery.dropdowns.submenu.optionA":"Projektas Alpha","codex.gallery.dropdowns.submenu.optionB":"Projektas Beta","codex.gallery.dropdowns.submenu.optionC":"Projektas Gamma","codex.gallery.dropdowns.submenu.primary":"Priskirti savininką","codex.gallery.dropdowns.submenu.secondary":"Perkelti į","codex.gallery.dropdowns.submenu.tertiary":"Archyvuoti","codex.gallery.dropdowns.submenu.trigger":"Pasirinkti veiksmą","codex.gallery.dropdowns.title":"Išskleidžiamieji meniu","codex.gallery.inbox.automations.close":"Uždaryti","codex.gallery.inbox.automations.popover.cardTitle":"Tvarkyti automatiką","codex.gallery.inbox.automations.popover.dialogTitle":"Tvarkyti automatiką","codex.header.settingsTooltip":"Nuostatos","codex.hunk.patch.error":"Nepavyko pateikti į sceną","codex.hunk.patch.missing":"Nepavyko sukurti pataisos šiam gabalui.","codex.hunk.patch.partialSuccess":"Dalinė sėkmė","codex.hunk.patch.revertError":"Nepavyko pateikti ne scenoje","codex.hunk.patch.revertSuccess":"Sėkmingai pateikta ne scenoje","codex.hunk.patch.success":"Sėkmingai pateikta scenoje ","codex.legal.autonomy.details":"Daugiau detalių žr. {link}","codex.legal.autonomy.details.link":"„Codex“ dokumentai","codex.legal.autonomy.title":"Nuspręskite, kiek autonomijos norite suteikti","codex.legal.backButton":"Atgal","codex.legal.cloud.taskOne.meta":"openai/agi · Spalio 12 d.","codex.legal.cloud.taskOne.title":"Paaiškinkite saugyklą naujam dizaineriui","codex.legal.cloud.taskThree.meta":"openai/codex · Spalio 8 d.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Sukurkite tamsaus režimo temą","codex.legal.cloud.taskTwo.meta":"openai/agi · Spalio 9 d.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ištaisykite priėmimo klaidą","codex.legal.continue.apikey":"Tęsti","codex.legal.continueButton":"Kitas","codex.legal.copilot.details":"Naudoja jūsų „Copilot“ planą visiems modelio skambučiams, sąskaitų išrašymui ir tarifų limitams. „Codex“ plėtinio naudojimui taikomos {oaiTos} ir {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"„GitHub“ paslaugų teikimo sąlygos","codex.legal.copilot.oaiTosLink":"„OpenAI Codex“ paslaugų teikimo sąlygos","codex.legal.copilot.title":"Naudojama „GitHub Copilot“","codex.legal.mistakes.review":"Peržiūrėkite parašytą kodą ir vykdomas komandas","codex.legal.mistakes.title":"„Codex“ gali daryti klaidas","codex.legal.powered.details":"Naudoja jūsų plano tarifų limitus ir {link}","codex.legal.powered.details.link":"mokymo duomenų nuostatos","codex.legal.powered.title":"Naudojama jūsų ChatGPT paskyros","codex.legal.step.cloud.subtitle":"Siųskite užduotis į „Codex“, kad jos veiktų fone, jog galėtumėte išlikti susikaupę ir judėti greičiau.","codex.legal.step.cloud.title":"Perduokite „Codex“ debesyje","codex.legal.step.intro.subtitle":"„Codex“ naršo, redaguoja, vykdo komandas ir atlieka testus tiesiogiai jūsų saugykloje. Naudojama jūsų ChatGPT paskyros.","codex.legal.step.intro.title":"„Codex“ jūsų IDE","codex.legal.step.todo.subtitle":"Parašykite TODO komentarą ir vienu spustelėjimu konvertuokite jį į „Codex“ užduotį.","codex.legal.step.todo.title":"Paverskite TODO į „Codex“ užduotis","codex.legal.todo.heading":"// TODO: įdiegti schemą","codex.localConversation.closeImagePreview":"Uždaryti vaizdo peržiūrą","codex.localConversation.userImageAttachment":"Naudotojo priedas","codex.localTaskRow.archiveTask":"Archyvo gija","codex.localTaskRow.awaitingApproval":"Laukiama patvirtinimo","codex.localTaskRow.awaitingResponse":"Laukiama atsakymo","codex.localTaskRow.confirmArchiveTask":"Patvirtinti","codex.loggedOut.apiKeyPrompt.cancel":"Atšaukti","codex.loggedOut.apiKeyPrompt.confirm":"Gerai","codex.loggedOut.apiKeyPrompt.getKey":"Gauti API raktą","codex.loggedOut.apiKeyPrompt.inputLabel":"Įveskite savo „OpenAI“ API raktą","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Debesijos užduotys išjungtos naudojant API raktą","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Debesijos užduotys išjungtos naudojant „Copilot“ ir API raktą","codex.loggedOut.signIn":"Prisijungti naudojant ChatGPT","codex.loggedOut.signIn.cancel":"Atšaukti prisijungimą","codex.loggedOut.signInWithCopilot":"Prisijungti naudojant „GitHub Copilot“","codex.loggedOut.title":"„Codex“","codex.loggedOut.useApiKey":"Naudoti API raktą","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} įrankis","codex.mcpTool.collapsedLabel.verb.called":"Iškviestas","codex.mcpTool.collapsedLabel.verb.calling":"Iškviečiamas","codex.mcpTool.embeddedResource.contentLabel":"Turinys","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME tipas","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Įrankis nepateikė jokio turinio","codex.mcpTool.rawPayloadHeading":"Neapdoroto {server}.{tool} įrankio iškvietimo naudingoji apkrova","codex.menu.recent":"Naujausia","codex.menu.seeAllHistory":"Žiūrėti visą istoriją","codex.modelCapacityBanner.headline.noReset":"{modelName} šiuo metu yra pilnai užpildyta. Bandykite dar kartą vėliau arba pradėkite naują pokalbį su kitu modeliu.","codex.modelCapacityBanner.headline.withReset":"{modelName} šiuo metu yra pilnai užpildyta. Bandykite dar kartą už {resetDate} arba pradėkite naują pokalbį su kitu modeliu.","codex.modelCapacityBanner.title":"Pasirinktas modelis yra pilnai užpildytas","codex.patch.change.contentsDeleted":"Turinys pašalintas","codex.patch.change.created":"Sukurta","codex.patch.change.created-file":"Sukurtas failas","codex.patch.change.creating":"Kuriama","codex.patch.change.deleted":"Ištrintas","codex.patch.change.deleted-file":"Pašalintas failas","codex.patch.change.deleting":"Šalinama","codex.patch.change.edited":"Paredaguota","codex.patch.change.edited-file":"Redaguotas failas","codex.patch.change.editing":"Redaguojama","codex.patch.change.noChanges":"Jokių pakeitimų","codex.patch.change.rejected-add":"Atmesta","codex.patch.change.rejected-delete":"Atmesta","codex.patch.change.rejected-edit":"Atmesta","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} iš {total} užduočių baigtos","codex.plan.todoListCreated":"Sukurtas darbų sąrašas su {total} užduotimis","codex.profileDropdown.apiKeyAuth":"Prisijungta naudojant API raktą","codex.profileDropdown.codexSettings":"„Codex“ nustatymai","codex.profileDropdown.copilotAuth":"Prisijungta naudojant „Copilot“","codex.profileDropdown.defaultAccountTitle":"Numatytoji paskyra","codex.profileDropdown.enterBehavior":"{modifierSymbol} + įveskite, jei norite siųsti ilgus raginimus","codex.profileDropdown.enterBehaviorError":"Nepavyko atnaujinti nuostatos","codex.profileDropdown.getPlus":"Naujovinkite, kad padidintumėte ribas","codex.profileDropdown.keyboardShortcuts":"Spartieji klaviatūros klavišai","codex.profileDropdown.language":"Kalba","codex.profileDropdown.languageDefault":"Automatiškai aptikti","codex.profileDropdown.languageSearchPlaceholder":"Ieškoti kalbų","codex.profileDropdown.languageUpdateError":"Nepavyko atnaujinti kalbos","codex.profileDropdown.logOut":"Atsijungti","codex.profileDropdown.mcp":"MCP nustatymai","codex.profileDropdown.openConfigToml":"Atidaryti config.toml","codex.profileDropdown.openConfigToml.wsl":"Atidaryti config.toml WSL aplinkoje","codex.profileDropdown.openExtensionSettings":"Atidaryti nuostatas","codex.profileDropdown.openMcpSettings":"Atidarykite MCP nustatymus","codex.profileDropdown.openOnStartup":"Atidaryti paleidžiant","codex.profileDropdown.openOnStartupError":"Nepavyko atnaujinti nuostatų","codex.profileDropdown.openSkillsSettings":"Atidaryti įgūdžių nustatymus","codex.profileDropdown.personalAccountTitle":"Asmeninė paskyra","codex.profileDropdown.queueFollowUps":"Eilės stebėjimas","codex.profileDropdown.queueFollowUpsError":"Nepavyko atnaujinti nuostatos","codex.profileDropdown.readDocs":"Nuskaityti dokumentus","codex.profileDropdown.readSkillsDocs":"Nuskaityti dokumentus","codex.profileDropdown.runInWsl":"Vykdyti WSL","codex.profileDropdown.runInWslError":"Nepavyko atnaujinti nuostatų","codex.profileDropdown.runInWslTooltip":"„Codex“ veikia WSL viduje. Rekomenduojama siekiant geresnio „smėlio dėžės“ saugumo ir našumo.","codex.profileDropdown.settings":"IDE nustatymai","codex.profileDropdown.settingsPage":"Nuostatos","codex.profileDropdown.signInWithOpenAI":"Prisijungti naudojant ChatGPT","codex.profileDropdown.skills":"Įgūdžių nustatymai","codex.profileDropdown.switchToCopilotAccount":"Naudoti „Copilot“ paskyrą","codex.profileDropdown.switchToOpenAIAccount":"Naudoti „OpenAI“ paskyrą","codex.profileDropdown.todoCodelens":"Pataisykite TODO komentarus","codex.profileDropdown.todoCodelensError":"Nepavyko atnaujinti nuostatos","codex.profileDropdown.windowsDocumentation":"„Windows“ dokumentacija","codex.profileFooter.signedInFallback":"Nuostatos","codex.profileFooter.upgrade":"Naujovinti","codex.recentTasksMenu.clearSearch":"Išvalyti paiešką","codex.recentTasksMenu.cloud":"Debesies užduotys","codex.recentTasksMenu.count":"{count, plural, =0 {Užduočių nevykdoma} one {# užduotis vykdoma} few {# užduočių vykdoma} many {# užduočių vykdoma} other {# užduočių vykdoma}}","codex.recentTasksMenu.empty":"Dar nėra gijų","codex.recentTasksMenu.errorCloud":"Nepavyko įkelti užduočių.","codex.recentTasksMenu.errorCloud.inline":"Nepavyko įkelti debesies užduočių.","codex.recentTasksMenu.filterAll":"Visi","codex.recentTasksMenu.filterCloudTasks":"Filtruoti debesies užduotis","codex.recentTasksMenu.filterTooltip":"Filtruoti užduotis pagal aplinką","codex.recentTasksMenu.local":"Vietinės užduotys","codex.recentTasksMenu.recent":"Visos užduotys","codex.recentTasksMenu.search":"Ieškoti naujausių užduočių","codex.recentTasksMenu.searchEmpty":"Rezultatų nėra","codex.recentTasksMenu.tooltip":"Užduočių istorija","codex.recentTasksMenu.trigger":"Naujausios užduotys. {count, plural, one {# vykdoma} few {# vykdomos} many {# vykdoma} other {# vykdoma}}","codex.remoteConversation.applyDiff.applyCta":"Taikyti pakeitimus","codex.remoteConversation.applyDiff.dropdownTitle":"Taikyti pakeitimus vietinei atšakai","codex.remoteConversation.applyDiff.revertCta":"Grąžinti pakeitimus","codex.remoteConversation.closeImagePreview":"Uždaryti vaizdo peržiūrą","codex.remoteConversation.codexCloudTask":"Peržiūrite <u> „Codex“ debesies</u> užduotį","codex.remoteConversation.errorWithMessage":"Klaida: {message}","codex.remoteConversation.loadingImage":"Įkeliamas vaizdas","codex.remoteConversation.openInWeb":"Atidaryti žiniatinklyje","codex.remoteConversation.streaming":"Naudojimo pradžia","codex.remoteConversation.turnFailed":"Šios užduoties metu įvyko klaida","codex.remoteConversation.turnTab.loading":"Bandymas {number}","codex.remoteConversation.turnTab.title":"Bandymas {number}","codex.remoteConversation.userImageAttachment":"Naudotojo priedas","codex.remoteConversation.viewPreviousTurns":"Atidaryti žiniatinklyje","codex.remoteConversation.viewPreviousTurns.buttonText":"Atidaryta","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Atidaryti žiniatinklyje","codex.review.copyGitApplyCommand":"Nukopijuokite „git apply“ komandą","codex.review.copyGitApplyCommand.toast":"Nukopijuota „git apply“ komanda į iškarpinę","codex.review.diffTooLarge.description":"Šis skirtumas per didelis, kad būtų rodomas peržiūroje.","codex.review.diffTooLarge.title":"Skirtumas per didelis, kad būtų galima parodyti","codex.review.expandOrCollapseDiffButton.collapse":"Sutraukti visus skirtumus","codex.review.expandOrCollapseDiffButton.expand":"Išplėsti visus skirtumus","codex.review.expandOrCollapseDiffMenu.collapse":"Sutraukti visus skirtumus","codex.review.expandOrCollapseDiffMenu.expand":"Išplėsti visus skirtumus","codex.review.fileSearch.clear":"Valyti failo filtrą","codex.review.fileSearch.empty":"Nėra failų, atitinkančių dabartinį filtrą.","codex.review.fileSearch.label":"Filtruoti failus","codex.review.fileSearch.placeholder":"Filtruoti failus...","codex.review.filesChanged":"{num, plural, =0 {Jokių failų nepakeista} one {# failas pakeistas} few {# failai (-ų) pakeisti (-a)} many {# failai (-ų) pakeisti (-a)} other {# failai (-ų) pakeisti (-a)}}","codex.review.find.loadMore":"Įkelti daugiau atitikimų","codex.review.fullReview.hideFileTree":"Slėpti failų medį","codex.review.fullReview.showFileTree":"Rodyti failų medį","codex.review.header.moreOptions":"Peržiūrėti parinktis","codex.review.largeDiff.banner":"Aptiktas didelis skirtumas – vienu metu rodomas vienas failas.","codex.review.loadFullFiles.disable":"Neįkelti pilnų failų","codex.review.loadFullFiles.enable":"Įkelti pilnus failus","codex.review.noDiff":"Failo pakeitimai bus rodomi čia","codex.review.noDiff.gitInit.createRepository":"Sukurkite „git“ saugyklą","codex.review.noDiff.gitInit.creating":"Kuriama...","codex.review.noDiff.gitInit.error":"Nepavyko „Git init“: {message}","codex.review.noDiff.gitInit.success":"„Git“ saugykla sukurta","codex.review.noDiff.gitRepoRequired.description":"Sekti ir anuliuoti šio projekto pakeitimus","codex.review.noDiff.gitRepoRequired.title":"Sukurkite „Git“ saugyklą","codex.review.noDiff.orNoLongerAvailable":"arba naujausi skirtumai nebepasiekiami","codex.review.noDiff.reverted":"Paskutinis posūkis buvo atšauktas","codex.review.noDiff.revertedOrCommitted":"Paskutinis posūkis buvo arba atšauktas, arba patvirtintas","codex.review.refreshGitQueries":"Įkelti iš naujo","codex.review.revert.file.error":"Nepavyko sugrąžinti {path}","codex.review.revert.file.partialSuccess":"Iš dalies sugrąžinta {path}","codex.review.revert.file.success":"Sugrąžinta {path}","codex.review.revert.hunk.error":"Nepavyko sugrąžinti didelio formato elemento {hunkNumber} {path}","codex.review.revert.hunk.partialSuccess":"Iš dalies sugrąžintas didelio formato elementas {hunkNumber} {path}","codex.review.revert.hunk.success":"Sugrąžintas didelio formato elementas {hunkNumber} {path}","codex.review.revert.section.error":"Nepavyko sugrąžinti skyriaus","codex.review.revert.section.partialSuccess":"Skyrius iš dalies sugrąžintas","codex.review.revert.section.success":"Skyrius sugrąžintas","codex.review.revertDialog.cancel":"Atšaukti","codex.review.revertDialog.confirm":"Patvirtinti","codex.review.revertDialog.message":"Šis veiksmas pašalina visus šiuos pakeitimus.","codex.review.revertDialog.skip":"Daugiau nebeklausti","codex.review.revertDialog.title":"Grąžinti pakeitimus?","codex.review.richPreview.disable":"Išjungti išsamią peržiūrą","codex.review.richPreview.enable":"Įjungti išsamią peržiūrą","codex.review.source.cloud":"„Cloud“ pakeitimai","codex.review.source.local.all":"Visi atšakos pakeitimai","codex.review.source.local.lastTurn":"Paskutiniai posūkio pakeitimai","codex.review.source.local.uncommitted":"Neįsipareigoti pakeitimai","codex.review.source.worktree":"Neįvykdyti darbo medžio pakeitimai","codex.review.stageFilter.empty.staged.description":"Priimkite pakeitimus, kad juos paskelbtumėte","codex.review.stageFilter.empty.staged.title":"Jokių inscenizuotų pakeitimų","codex.review.stageFilter.empty.unstaged.description":"Kodo pakeitimai bus rodomi čia","codex.review.stageFilter.empty.unstaged.title":"Jokių neplanuotų pakeitimų","codex.review.stageFilter.staged":"Scenoje","codex.review.stageFilter.staged.count":"Scenoje · {count}","codex.review.stageFilter.unstaged":"Ne scenoje","codex.review.stageFilter.unstaged.count":"Ne scenoje · {count}","codex.review.switchToSplit":"Perjungti į padalintą skirtumų vaizdą","codex.review.switchToUnified":"Perjungti į vieningą skirtumą","codex.review.toggleDiffView":"Perjungti skirtumo rodinį","codex.review.wordDiffs.disable":"Išjungti žodžių skirtumus","codex.review.wordDiffs.enable":"Įjungti žodžių skirtumus","codex.review.wrap.disable":"Išjungti žodžių laužymą","codex.review.wrap.enable":"Įjungti žodžių laužymą","codex.section.patch.missing":"Nepavyko sukurti šios skilties pataisos.","codex.shell.collapse":"Sutraukti apvalkalą","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Nukopijuotas apvalkalo turinys","codex.shell.copy.copyTooltip":"Kopijuoti apvalkalo turinį","codex.shell.copyCommand":"Kopijuoti komandą","codex.shell.copyOutput":"Kopijuoti išvestis","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"„Bash“","codex.shell.expand":"Išplėsti apvalkalą","codex.shell.name":"„Shell“","codex.shell.noOutput":"Nėra išvesties","codex.signInFailed.message":"Prisijungti nepavyko: {rawMessage}","codex.stories.toast.show":"Rodyti atsiliepimo pranešimą","codex.stories.tooltip.basic":"Tai yra patarimas","codex.stories.tooltip.hoverMe":"Užvesk mane","codex.stories.tooltip.largerOffset":"Šio patarimo poslinkis didesnis","codex.stories.tooltip.offsetButton":"Didesnis poslinkis","codex.stories.tooltip.shortcutButton":"Su sparčiuoju klavišu","codex.stories.tooltip.withShortcut":"Perjungti terminalą","codex.taskRow.title":"Nauja gija","codex.taskRowLayout.confirm":"Patvirtinti","codex.threadFindBar.chatFilter":"Ieškokite pokalbyje","codex.threadFindBar.close":"Uždaryti rezultatą","codex.threadFindBar.diffFilter":"Ieškoti skirtumų","codex.threadFindBar.label":"Rasti gijoje","codex.threadFindBar.nextResult":"Kitas rezultatas","codex.threadFindBar.noResults":"0 rezultatų","codex.threadFindBar.placeholder":"Ieškoti gijoje...","codex.threadFindBar.placeholder.extension":"Ieškoti gijoje...","codex.threadFindBar.placeholder.review":"Ieškoti skirtumų...","codex.threadFindBar.placeholder.review.extension":"Ieškoti skirtumų...","codex.threadFindBar.previousResult":"Ankstesnis rezultatas","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# failas pakeistas} few {# failai (-ų) pakeisti (-a)} many {# failai (-ų) pakeisti (-a)} other {# failai (-ų) pakeisti (-a)}}","codex.unifiedDiff.inlineLargeFile":"Per didelis, kad būtų galima pateikti eilutėje","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Atšaukti","codex.unifiedDiff.revertPatchError":"Nepavyko sugrąžinti pakeitimų","codex.unifiedDiff.revertPatchSuccess":"Pakeitimai sugrąžinti","codex.unifiedDiff.reviewChangesSuffix":"pakeitimai","codex.unifiedDiff.reviewShort":"Peržiūrėti","codex.unifiedDiff.viewDiffTooltip":"Peržiūrėti","codex.upsellBanner.business.headline":"Norėdami gauti daugiau prieigos teisių dabar, išsiųskite užklausą savo administratoriui arba palaukite iki {resetDate}.","codex.upsellBanner.cbp.headline":"Norėdami gauti daugiau prieigos dabar, nusiųskite užklausą savo administratoriui.","codex.upsellBanner.cta.addCredits":"Pridėti kreditus","codex.upsellBanner.cta.upgradeAccount":"Naujovinti","codex.upsellBanner.cta.viewUsage":"Peržiūrėti naudojimą","codex.upsellBanner.freeOrGo.headline":"Jūsų tarifo limitas nustatomas iš naujo {resetDate}. Norėdami toliau naudoti „Codex“, šiandien atnaujinkite į Plus.","codex.upsellBanner.general.headline":"Jūsų tarifo limitas nustatomas iš naujo {resetDate}.","codex.upsellBanner.general.title":"„Codex“ žinučių limitas išnaudotas","codex.upsellBanner.plus.headline":"Jūsų tarifo limitas nustatomas iš naujo {resetDate}. Norėdami toliau naudoti „Codex“, pridėkite kreditų arba atnaujinkite į Pro jau šiandien.","codex.upsellBanner.pro.headline":"Jūsų tarifo limitas nustatomas iš naujo {resetDate}. Pridėkite kreditų, kad galėtumėte toliau naudotis „Codex“ dabar.","codex.userMessage.autoResolveSync":"Automatinis konfliktų sprendimas","codex.userMessage.commentCount":"{count, plural, one {# komentaras} few {# komentarų} many {# komentarų} other {# komentarų}}","codex.userMessage.copiedAriaLabel":"Nukopijuota","codex.userMessage.copiedTooltip":"Nukopijuota","codex.userMessage.copyAriaLabel":"Kopijuoti pranešimą","codex.userMessage.copyTooltip":"Kopijuoti","codex.userMessage.implementPlan":"Įgyvendinti planą","codex.userMessage.noContent":"(Nėra turinio)","codex.userMessage.priorConversation":"Nuorodos į ankstesnį pokalbį","codex.userMessage.reviewMode":"Peržiūros režimas","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"skirta {query}","codex.webSearch.summary.verb.completed":"Ieškota žiniatinklyje","codex.webSearch.summary.verb.inProgress":"Ieškoma žiniatinklyje","codex.windowsInstallWslBanner.dismiss":"Atmesti","codex.windowsInstallWslBanner.installWslCta":"Įjungti smėlio dėžę","codex.windowsInstallWslBanner.learnMore":"Sužinokite daugiau","codex.windowsSandboxBanner.content":"Agento režimas sistemoje „Windows“ naudoja eksperimentinę smėlio dėžę, kad apribotų prieigą prie failų sistemos ir tinklo. {sandboxLink}","codex.windowsSandboxBanner.title":"Įjungti smėlio dėžę agento režimui","codex.windowsSubDropdown.windowsSandbox":"„Windows“ smėlio dėžė","codex.windowsSubDropdown.windowsSettings":"„Windows“ nuostatos","codexUpgradeModal.body":"„Codex“ dabar veikia su „GPT-5.2-Codex“ – mūsų naujausiu tarpžinybiniu agentų kodavimo modeliu. Kodavimo srityje jis yra {link}; dar labiau patobulintas, palyginti su GPT-5.2.","codexUpgradeModal.close":"Uždaryti","codexUpgradeModal.image.altText":"„GPT-5.2-Codex“","codexUpgradeModal.smarterAndFaster":"išmanesnis ir spartusis","codexUpgradeModal.title":"„Codex“ ką tik naujovintas","codexUpgradeModal.tryNewModel":"Išbandykite „GPT-5.2-Codex“ dabar","codexUpgradeModal.useExistingModel":"Tęskite su dabartiniu modeliu","commentAttachments.numComments":"{count, plural, one {# komentaras} few {# komentarų} many {# komentarų} other {# komentarų}}","commentAttachments.removeAriaLabel":"Pašalinti komentarų priedą","common.close":"Uždaryti","composer.addContext.openFilePickerError":"Nepavyksta atidaryti failų rinkiklio","composer.addContextDropdown.ariaLabel":"Įtraukti failus ir daugiau","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Įtraukti failus ir daugiau","composer.addPhotosAndFiles":"Pridėti nuotraukų ir failų","composer.atMentionList.emptyQuery":"Įveskite tekstą, kad ieškotumėte failų","composer.atMentionList.loading":"Ieškoma...","composer.atMentionList.noResults":"Rezultatų nėra","composer.attemptsSelector.option":"{count, plural, one {# versija} few {# versijų} many {# versijų} other {# versijų}}","composer.attemptsSelector.tooltip":"Lygiagrečių bandymų, kuriuos „Codex“ atliko, skaičius","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Sustabdyti","composer.cloudFollowUp.cloud":"„Cloud“","composer.cloudFollowUp.local":"Vietinis","composer.cloudFollowUp.whereRun":"Kur turėtų būti vykdomas šis tolesnis veiksmas?","composer.cloudTaskCreationError":"Klaida kuriant debesies užduotį","composer.cloudTaskError":"Klaida kuriant užduotį","composer.contextWindow.autoCompactionTooltipLine1":"„Codex“ automatiškai suspaudžia savo kontekstą","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontekstinis langas:","composer.contextWindowUsageStatusFull":"{usage} % pilna","composer.contextWindowUsageStatusLeft":"{usage} % panaudota ({remaining} % liko)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k token panaudota","composer.customCliTooltip":"Naudojant pasirinktinį CLI vykdomąjį failą","composer.dictation.aria":"Diktuoti","composer.dictation.cancel.aria":"Stabdyti diktavimą","composer.dictation.cancel.tooltip":"Stabdyti diktavimą","composer.dictation.startError":"Nepavyko pradėti diktavimo","composer.dictation.submit.aria":"Perrašyti ir išsiųsti","composer.dictation.submit.tooltip":"Perrašyti ir išsiųsti","composer.dictation.tooltip":"Laikykite, kad diktuotumėte","composer.dictation.transcribeError":"Nepavyksta transkribuoti garso įrašo","composer.dictation.unsupported":"Diktavimas šiame įrenginyje negalimas","composer.dropOverlay.holdShift":"Laikykite {key}, kad nukristų","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Sukurti naują","composer.environmentSelector.error":"Klaida įkeliant aplinkas","composer.environmentSelector.goBack":"Atgal į kūrimo priemonę","composer.environmentSelector.title":"Pasirinkti aplinką","composer.environmentSelector.tooltip":"Pasirinkite debesies aplinką","composer.feedbackSlashCommand.title":"Atsiliepimas","composer.filePicker.selectFile":"Pasirinkti failą","composer.filePicker.selectFiles":"Pasirinkite failus","composer.followerTooltip":"Norėdami tęsti, grįžkite į langą, kuriame prasidėjo šis pokalbis.","composer.footer.branchSwitch.checkoutError":"Nepavyko perjungti atšakos: {message}","composer.footer.branchSwitch.createAndCheckout":"Sukurti ir atsiskaityti su nauja atšaka…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Įtvirtinti pakeitimus, kad būtų sukurta ir užregistruota nauja atšaka","composer.footer.branchSwitch.createBranchError":"Nepavyko sukurti atšakos: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Atšakos pavadinimas","composer.footer.branchSwitch.createDialog.branchExistsError":"Atšaka jau yra.","composer.footer.branchSwitch.createDialog.close":"Uždaryti","composer.footer.branchSwitch.createDialog.createAndCheckout":"Sukurti ir atsiskaityti","composer.footer.branchSwitch.createDialog.placeholder":"nauja atšaka","composer.footer.branchSwitch.createDialog.title":"Sukurkite ir patikrinkite atšaką","composer.footer.branchSwitch.createDialog.trailingSlashError":"Atšakos pavadinimas negali baigtis „/“.","composer.footer.branchSwitch.tooltip":"Perjungti atšaką","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Pateikite pakeitimus {fileCount, plural, one {# failas} few {# failai} many {# failai} other {# failai}}, kad būtų galima išregistruoti {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Pateikti","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"pakeitimai {fileCount, plural, one {# failas} few {# failai} many {# failai} other {# failai}}, kad būtų galima išregistruoti {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Atšaukti","composer.footer.branchSwitch.uncommittedDialog.commit":"Įsipareigoti ir perjungti atšaką…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Jūsų atlikti šių failų pakeitimai bus perrašyti atliekant išregistravimą:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Norėdami tęsti, patvirtinkite pakeitimus","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"pasirinktą atšaką","composer.footer.branchSwitch.uncommittedDialog.title":"Įvesti pakeitimus perjungti atšakai","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Neįsipareigota: {fileCount, plural, one {# failas} few {# failai} many {# failų} other {# failų}}","composer.forkSlashCommand.description":"Kurti šios gijos atšaką į vietinį arba naują darbo medį","composer.forkSlashCommand.option.local.description":"Tęsti naujoje vietinėje gijoje","composer.forkSlashCommand.option.local.title":"Kurti atšaką į vietinę","composer.forkSlashCommand.option.worktree.description":"Tęsti naujame darbo medyje","composer.forkSlashCommand.option.worktree.title":"Kurti atšaką naujame darbo medyje","composer.forkSlashCommand.title":"Padalinti","composer.ideContextIndicator.tooltipToggle":"perjungti","composer.imageInputsUnsupported":"Šis modelis nepalaiko vaizdo įvesčių. Išbandykite kitą modelį.","composer.imageUploadFailed":"Nepavyko įkelti vaizdo","composer.includeIdeContextDropdown":"Įtraukti IDE kontekstą","composer.includeIdeContextDropdown.ariaLabel":"Įtraukti IDE kontekstą","composer.localCwdDropdown.addWorkspaceRoot":"Pridėti naują projektą","composer.localCwdDropdown.noActiveRoot":"Pasirinkti naują projektą","composer.localCwdDropdown.noResults":"Nerasta aplankų","composer.localCwdDropdown.title":"Pasirinkti naują projektą","composer.localTaskError":"Pradedant pokalbį įvyko klaida","composer.mcpSlashCommand.description":"Rodyti MCP serverio būseną","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Neautentifikuota","composer.mcpStatus.authOauth":"Autentifikuota („OAuth“)","composer.mcpStatus.authToken":"Autentifikuota (API raktas)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Uždaryti","composer.mcpStatus.disabled":"Išjungta","composer.mcpStatus.emptyLabel":"Serveriai:","composer.mcpStatus.emptyValue":"Nėra sukonfigūruotų MCP serverių","composer.mcpStatus.enabled":"Įjungta","composer.mcpStatus.errorLabel":"Būsena:","composer.mcpStatus.errorValue":"Nepavyko įkelti MCP būsenos","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agentas","composer.mode.agentMode.auto.dropdownLabel":"Agentas","composer.mode.agentMode.auto.optionLabel":"Agentas","composer.mode.agentMode.changePermission":"Perjunkite režimą","composer.mode.agentMode.custom":"Pasirinktinis","composer.mode.agentMode.custom.dropdownLabel":"Pasirinktinis","composer.mode.agentMode.custom.option":"Pasirinktinis (config.toml)","composer.mode.agentMode.custom.optionLabel":"Pasirinktinis (config.toml)","composer.mode.agentMode.customInfo.cancel":"Atšaukti","composer.mode.agentMode.customInfo.cli":"Šiuos nustatymus galite koreguoti naudodami CLI arba tiesiogiai redaguodami failą.","composer.mode.agentMode.customInfo.confirm":"Naudoti pasirinktinį režimą","composer.mode.agentMode.customInfo.description":"Pasirinktinis režimas taiko patvirtinimo ir smėlio dėžės strategijas, apibrėžtas jūsų <link>config.toml</link> faile.","composer.mode.agentMode.customInfo.docs":"Daugiau apie patvirtinimo ir smėlio dėžės politikų konfigūravimą sužinokite <link>vykdymo aplinkos dokumentuose</link>.","composer.mode.agentMode.customInfo.refresh":"Bet kokie pakeitimai įsigalioja kitą kartą paleidus agentą.","composer.mode.agentMode.customInfo.title":"Kaip veikia pasirinktinis režimas","composer.mode.agentMode.fullAccess":"Agentas (visa prieiga)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agentas (visa prieiga)","composer.mode.agentMode.fullAccess.optionLabel":"Agentas (visa prieiga)","composer.mode.agentMode.fullAccessConfirm.caution":"Įjungdami visišką prieigą, būkite atsargūs. Tai žymiai padidina duomenų praradimo, nutekėjimo ar netikėto elgesio riziką.","composer.mode.agentMode.fullAccessConfirm.confirm":"Taip, vis tiek tęsti","composer.mode.agentMode.fullAccessConfirm.description":"Kai „Codex“ veikia su visomis prieigos teisėmis, jis gali redaguoti bet kurį jūsų kompiuteryje esantį failą ir vykdyti komandas tinkle be jūsų sutikimo.","composer.mode.agentMode.fullAccessConfirm.goBack":"Atšaukti","composer.mode.agentMode.fullAccessConfirm.title":"Įjungti visišką prieigą?","composer.mode.agentMode.readOnly":"Pokalbis","composer.mode.agentMode.readOnly.dropdownLabel":"Pokalbis","composer.mode.agentMode.readOnly.optionLabel":"Pokalbis","composer.mode.agentMode.tooltip":"Perjungti režimą","composer.mode.agentMode.tooltip.auto":"Skaitykite ir redaguokite failus bei vykdykite komandas.","composer.mode.agentMode.tooltip.custom":"Naudokite naujausias patvirtinimo ir „smėlio dėžės“ politikas, apibrėžtas faile config.toml.","composer.mode.agentMode.tooltip.fullAccess":"„Codex“ gali redaguoti failus už projekto ribų ir vykdyti komandas naudodamasi tinklo prieiga. Būkite atsargūs naudodami.","composer.mode.agentMode.tooltip.readOnly":"Reikalingas patvirtinimas redaguoti failus ir vykdyti komandas.","composer.mode.cloud.tooltip":"Darbas debesies aplinkoje","composer.mode.contactAdmin":"Norėdami gauti daugiau prieigos teisių, susisiekite su administratoriumi","composer.mode.local":"Vietinis","composer.mode.local.learnMore":"Sužinokite daugiau","composer.mode.local.model.custom":"Pasirinktinis","composer.mode.local.model.loadingModel":"Įkeliamas modelis","composer.mode.local.model.selecrReasoningEffort":"Pasirinkti samprotavimą","composer.mode.local.model.selectModel":"Pasirinkti modelį","composer.mode.local.model.tooltip":"Pasirinkti modelį","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Didelis","composer.mode.local.reasoning.low.label":"Mažas","composer.mode.local.reasoning.medium.label":"Vidutinis","composer.mode.local.reasoning.minimal.label":"Minimalus","composer.mode.local.reasoning.none.label":"Nėra","composer.mode.local.reasoning.xhigh.label":"Itin didelis","composer.mode.localRemoteWhereRun":"Pasirinkite, kur vykdyti užduotį","composer.mode.newTask.header":"Tęsti","composer.mode.rateLimit.day":"{days} d.","composer.mode.rateLimit.heading":"Liko tarifų limitai","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} limitas:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {savaitinis limitas} few {{weeks} savaičių limitas} many {{weeks} savaičių limitas} other {{weeks} savaičių limitas}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Kartą per savaitę} few {{weeks} savaitė} many {{weeks} savaitė} other {{weeks} savaitė}}","composer.mode.remote.connectToCloud":"Prisijungti prie „Codex“ žiniatinklio","composer.mode.remote.connectToCloudDisabledTooltip":"Sukurti aplinką per „Codex web“, kad būtų galima siųsti užduotis į debesį","composer.mode.remote.selectEnvironment":"Pasirinkti aplinką","composer.mode.remote.sendToCloud":"Siųsti į debesį","composer.mode.remote.setupViaWeb":"Nustatyti aplinką per „Codex web“","composer.mode.runInCloud":"„Cloud“","composer.mode.runInCloudWithEnvironment":"„Cloud“ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Darbas debesies aplinkoje","composer.mode.segmentedToggle.local.tooltip":"Dirbkite savo vietiniame projekte","composer.mode.segmentedToggle.worktree.tooltip":"Darbas lygiagrečiame darbo medyje","composer.mode.upgradeToPlus":"Naujovinti į „Plus“","composer.mode.upgradeToPro":"Naujovinti į planą „Pro“","composer.mode.workLocally":"Vietinis projektas","composer.mode.workLocally.currentBranchFallback":"jūsų atšaka","composer.mode.workLocally.tooltip":"Darbas {branchName}","composer.mode.worktree":"Naujas darbo medis","composer.mode.worktree.submoduleWarning":"Šioje saugykloje yra „git“ submodulių. Darbo medžio kūrimas gali nepavykti.","composer.mode.worktree.tooltip":"Sukurkite savo vietinio projekto kopiją, kad galėtumėte dirbti lygiagrečiai","composer.mode.worktreeSegment":"Darbo medis","composer.modelChangeDuringConversationWarning.toast":"Modelių keitimas per pokalbį pablogins našumą.","composer.newChat.heading.browser":"Ką turėtume programuoti?","composer.permissionsDropdown.custom.label":"Pasirinktinis (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Pasirinktinis (config.toml)","composer.permissionsDropdown.default.label":"Numatytieji leidimai","composer.permissionsDropdown.default.optionLabel":"Numatytieji leidimai","composer.permissionsDropdown.fullAccess.disabled":"Visos prieigos neleidžia requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Pakeisti leidimus","composer.personalitySlashCommand.description.friendly":"Šiltas, bendradarbiaujantis ir paslaugus","composer.personalitySlashCommand.description.pragmatic":"Glaustas, orientuotas į užduotį ir tiesus","composer.personalitySlashCommand.label.friendly":"Draugiškas","composer.personalitySlashCommand.label.pragmatic":"Pragmatiškas","composer.personalitySlashCommand.notApplicableSuffix":"(Netaikoma dabartiniam modeliui)","composer.personalitySlashCommand.title":"Asmenybė","composer.placeholder.cloudFollowUp.directFollowUp":"Šios debesies užduoties tolesni veiksmai","composer.placeholder.cloudFollowUp.local":"Sukurkite naują vietinę užduotį, kuri nurodo šią debesies užduotį","composer.placeholder.cloudFollowUp.workingTree":"Sukurkite naują debesies užduotį, kurioje būtų jūsų dabartinis kodas ir kuri nurodytų šią užduotį","composer.placeholder.localFollowUp.cloud":"Tolesni veiksmai naujoje debesies užduotyje","composer.placeholder.localFollowUp.locally":"Paprašykite tolesnių pakeitimų","composer.placeholder.newTask.cloud":"Paprašykite „Codex“ atlikti bet kokius veiksmus debesyje","composer.placeholder.newTask.doAnything":"Paprašykite „Codex“ ką nors padaryti","composer.placeholder.newTask.locally":"Klauskite „Codex“ bet ko: @, jei norite pridėti failus, /, jei norite komandų","composer.planModeDropdown":"Plano režimas","composer.planModeDropdown.ariaLabel":"Plano režimas","composer.planModeIndicator":"Planas","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"Shift+Tab","composer.planModeIndicator.tooltipText":"perjungti","composer.planModeIndicator.tooltipToggle":"perjungti","composer.planSlashCommand.disableDescription":"Išjungti planavimo režimą","composer.planSlashCommand.enableDescription":"Įjungti planavimo režimą","composer.planSlashCommand.title":"Plano režimas","composer.priorContext.label":"Ankstesnis kontekstas","composer.priorContext.removeAriaLabel":"Pašalinti ankstesnį kontekstą","composer.queuedMessage.delete":"Šalinti eilėje esantį pranešimą","composer.queuedMessage.edit":"Redaguoti pranešimą","composer.queuedMessage.more":"Eilėje esančių pranešimų veiksmai","composer.queuedMessage.sendNow":"Siųsti dabar","composer.queuedMessage.turnOff":"Išjungti eilę","composer.reasoningEffort.local.reasoning.tooltip":"Pasirinkite samprotavimo pastangas","composer.remote.branchStartingPoint":"Nuo kurios atšakos turėtų prasidėti ši užduotis?","composer.remote.branchesSectionHeading":"Filialai","composer.remote.currentEditsSuffix.followUp":"Sukurkite naują užduotį, kuri nurodo šią debesies užduotį.","composer.remote.currentEditsSuffix.useLocal":"su vietinio kodo pakeitimais","composer.remote.directFollowUp":"Nenaudokite vietinių pakeitimų","composer.remote.errorLoadingBranches":"Klaida kraunant šakas","composer.remote.fromBranch":"Iš {branch}","composer.remote.fromCurrentBranch":"Iš {branch} (dabartinis)","composer.remote.loadingMoreBranches":"Įkeliama…","composer.remote.localFileStateHeading":"Vietinio failo būsena","composer.remote.localWorkingTree":"Naudokite vietinius pakeitimus","composer.remote.startingPoint":"Nuo kokio kodo reikėtų pradėti šią užduotį?","composer.reviewMode.branches.error":"Nepavyko įkelti atšakų","composer.reviewMode.branches.retry":"Bandyti iš naujo","composer.reviewMode.gitRoot.error":"„Git“ šaknis nerasta","composer.reviewMode.option.baseBranch.simple":"Peržiūra pagal bazinę šaką","composer.reviewMode.option.unstaged.simple":"Peržiūrėti nepatvirtintus pakeitimus","composer.reviewMode.quickReviewError":"Nepavyko pradėti kodo peržiūros.","composer.reviewMode.title":"Kodo peržiūra","composer.sandboxButton.unlock.disabled.tooltip":"Visos prieigos neleidžia requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"„Codex“ gali naudoti eksperimentinę „smėlio dėžę“ sistemoje „Windows“, kad apribotų prieigą prie failų sistemos ir tinklo. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Įjungti „Windows“ smėlio dėžę?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Naudoti tik skaitymui","composer.searchEnvironments":"Ieškoti aplinkų","composer.skillMentionList.app":"Programėlė","composer.skillMentionList.loading":"Įkeliami įgūdžiai...","composer.skillMentionList.noResults":"Įgūdžių nerasta","composer.slashCommands.cloudEnvironment.title":"Debesies aplinka","composer.slashCommands.dialogLabel":"Pasvirojo brūkšnio komandų meniu","composer.slashCommands.dialogTitle":"Pasvirojo brūkšnio komandos","composer.slashCommands.disabledTooltip":"Pradėkite naują pokalbį, kad galėtumėte naudoti pasvirojo brūkšnio komandas","composer.slashCommands.inputPlaceholder":"Ieškoti","composer.slashCommands.noResults":"Nėra komandų","composer.slashCommands.skillsGroup":"Įgūdžiai","composer.slashCommands.tooltip":"Naršyti pasvirojo brūkšnio komandas","composer.status.close":"Uždaryti","composer.statusPlain.alertLabel":"Įspėjimas:","composer.statusPlain.alertValue":"{remaining}% liko {window}","composer.statusPlain.contextLabel":"Kontekstas:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} naudota / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% liko","composer.statusPlain.heading":"Būsena","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limitas:","composer.statusPlain.rateLimitDays":"{count}d limitas","composer.statusPlain.rateLimitFallbackLabel":"Tarifo limitas:","composer.statusPlain.rateLimitHours":"{count}h limitas","composer.statusPlain.rateLimitLabelBase":"Tarifo limitas","composer.statusPlain.rateLimitMinutes":"{count}m limitas","composer.statusPlain.rateLimitPercent":"{remaining}% liko","composer.statusPlain.rateLimitReset":"iš naujo nustato {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"iš naujo nustatymo laikas nepasiekiamas","composer.statusPlain.rateLimitUnavailable":"Nepasiekiamas","composer.statusPlain.sessionCopiedAriaLabel":"Nukopijuotas seanso ID","composer.statusPlain.sessionCopiedTooltip":"Nukopijuotas ID","composer.statusPlain.sessionCopyAriaLabel":"Kopijuoti seanso ID","composer.statusPlain.sessionCopyTooltip":"Kopijuoti ID","composer.statusPlain.sessionLabel":"Seansas:","composer.statusSlashCommand.description":"Rodyti gijos ID, konteksto naudojimą ir tarifo limitus","composer.statusSlashCommand.title":"Būsena","composer.submit.blockedDialogOk":"Gerai","composer.submit.blockedDialogTitle":"Nepavyko išsiųsti pranešimo","composer.submit.emptyMessage":"Įveskite pranešimą, kad pradėtumėte","composer.submit.imageInputsUnsupported":"Norėdami išsiųsti šį pranešimą, pašalinkite vaizdus arba pakeiskite modelį.","composer.submit.loadingLocalConfig":"Įkeliama…","composer.submit.missingCloudConfig":"Turite pasirinkti debesies aplinką","composer.submit.missingCloudTurn":"Negalima tęsti šios užduoties","composer.submit.noWorkspace":"Pridėti projektą, kad būtų galima naudoti „Codex“","composer.submit.waitForImageUploads":"Vaizdai įkeliami…","composer.submitButtonTooltip.send":"Siųsti","composer.submitButtonTooltip.stop":"Sustabdyti","composer.worktreeEnvironment.create":"Sukurti vietinę aplinką","composer.worktreeEnvironment.default":"Numatytoji aplinka","composer.worktreeEnvironment.error":"Klaida įkeliant aplinkas","composer.worktreeEnvironment.loading":"Įkeliamos aplinkos...","composer.worktreeEnvironment.title":"Vietinė aplinka","composer.worktreeEnvironment.tooltip":"Pasirinkite vietinę aplinką","composer.worktreeSetupFailed":"Nepavyko nustatyti darbo medžio. Patikrinkite .codex/environments, ar nėra sąrankos scenarijaus.","compoundButton.secondaryAction":"Antrinis veiksmas","copyButton.copied":"Nukopijuota","copyButton.copiedAriaLabel":"Nukopijuota","copyButton.copy":"Kopijuoti","copyButton.copyAriaLabel":"Kopijuoti","copyButton.copyCode":"Kopijuoti kodą","diff.actionButton.revertFile":"Sugrąžinti failą","diff.actionButton.revertHunk":"Grąžinti","diff.actionButton.revertSection":"Sugrąžinti viską","diff.actionButton.revertSectionLabel":"Sugrąžinti viską","diff.actionButton.stageFile":"Failas scenoje","diff.actionButton.stageHunk":"Scena","diff.actionButton.stageSection":"Visi scenoje","diff.actionButton.stageSectionLabel":"Visi scenoje","diff.actionButton.unstageFile":"Failas ne scenoje","diff.actionButton.unstageHunk":"Ne scenoje","diff.actionButton.unstageSection":"Visi ne scenoje","diff.actionButton.unstageSectionLabel":"Visi ne scenoje","diff.fileHeader.toggle":"Perjungti failų skirtumą","electron.onboarding.login.apikey.cancel":"Atšaukti","electron.onboarding.login.apikey.continue":"Tęsti","electron.onboarding.login.apikey.label":"„OpenAI“ API raktas","electron.onboarding.login.apikey.open":"Įvesti API raktą","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Atšaukti prisijungimą","electron.onboarding.login.chatgpt.continue":"Tęsti su ChatGPT","electron.onboarding.login.devbox":"Prisijunkite prie nuotolinio SSH","electron.onboarding.login.error":"Prisijungti nepavyko: {rawMessage}","electron.onboarding.login.snake.start":"Žaiskite Snake","electron.onboarding.login.sshConfig.cancel":"Atšaukti","electron.onboarding.login.sshConfig.continue":"Tęsti","electron.onboarding.login.sshConfig.hostnameLabel":"SSH pagrindinio kompiuterio pavadinimas","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Geriausias būdas kurti su agentais","electron.onboarding.login.title":"Sveikiname prisijungus prie Codex","electron.onboarding.shell.title":"„Codex“","electron.onboarding.welcome.continue":"Tęsti","electron.onboarding.welcome.doubleLimits.description":"„Codex“ progr. paleidimo proga iki balandžio 2 d. taikomi 2 kartus didesni tarifų apribojimai.","electron.onboarding.welcome.freego.description":"„Codex“ nemokamai įtrauktas į jūsų planą iki kovo 2 d. – pradėkime kurti kartu.","electron.onboarding.welcome.new.title.anon":"Sveiki!","electron.onboarding.workspace.continue":"Tęsti","electron.onboarding.workspace.empty":"Pridėkite projektą, kad galėtumėte tęsti.","electron.onboarding.workspace.listLabel":"Galimi projektai","electron.onboarding.workspace.loading":"Įkeliami projektai","electron.onboarding.workspace.openFolder":"Pridėti projektą","electron.onboarding.workspace.selectAll":"Pasirinkti visus","electron.onboarding.workspace.skip":"Praleisti","electron.onboarding.workspace.skip.error":"Nepavyko sukurti naujo projekto: {message}","electron.onboarding.workspace.skip.error.unknown":"Nežinoma klaida","electron.onboarding.workspace.skipping":"Kuriamas naujas projektas…","electron.onboarding.workspace.subtitle":"„Codex“ galės redaguoti failus ir vykdyti komandas pasirinktuose aplankuose.","electron.onboarding.workspace.title":"Pasirinkti projektą","errorPage.list.checkSettings":"Pabandykite atnaujinti IDE nustatymus","errorPage.list.configToml":"Patikrinkite, ar jūsų config.toml faile nėra neteisingų nustatymų","errorPage.list.downloadExtension":"Pabandykite atsisiųsti kitą plėtinio versiją","errorPage.list.runInWsl":"Jei matote suderinamumo problemų, patikrinkite nustatymus, kad išjungtumėte veikimą WSL.","execApprovalRequest.menu.runAlways":"Taip, ir daugiau neklauskite šio seanso metu","execApprovalRequest.menu.runAlwaysWithAmendment":"Taip, ir daugiau neklausti komandų, kurios prasideda {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Taip, ir daugiau neklausti komandų, kurios prasideda","execApprovalRequest.menu.runOnce":"Taip","execApprovalRequest.prompt":"Ar norite vykdyti šią komandą?","execApprovalRequest.reject":"Ne","execFooter.exitCode":"Išėjimo kodas {code}","execFooter.exitCode.unknown":"nežinomas","execFooter.success":"Sėkmingai","feedback.dialog.category.badResult":"Blogas rezultatas","feedback.dialog.category.bug":"Klaida","feedback.dialog.category.goodResult":"Geras rezultatas","feedback.dialog.category.other":"Kita","feedback.dialog.descriptionPlaceholder":"Aprašykite problemą čia","feedback.dialog.dismiss":"Atmesti","feedback.dialog.includeLogsLabel":"Įtraukti dabartinius „Codex“ seanso žurnalus","feedback.dialog.submit":"Pateikti","feedback.dialog.submitError":"Nepavyko pateikti jūsų atsiliepimo. Bandykite dar kartą po akimirkos.","feedback.dialog.title":"Atsiliepimas","feedback.dialog.uploadedMessage.existingIssue":"esama atvira problema","feedback.dialog.uploadedMessage.openIssue":"atidaryti „GitHub“ problemą","feedback.dialog.uploadedMessage.withThread":"Atsiliepimas įkeltas. Jei problema išlieka, prašome{openIssueLink} arba paminėkite gijos ID {existingIssueLink}:","feedback.dialog.uploadedTitle":"Atsiliepimas įkeltas","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Pašalinti {filename}","header.back":"Atgal","header.recentChats":"Užduotys","header.recentTasks.seeAll":"Žiūrėti viską ({total})","home.header.getPlus":"Prenumeruoti „Plus“","home.hero.letsBuild":"Pastatykime","homePage.mainContent":"Pagrindinis turinys","imageAttachment.defaultName":"Vaizdas","imageAttachment.preview.close":"Uždaryti vaizdo peržiūrą","imageAttachment.removeAriaLabel":"Pašalinti {filename}","implementPlanRequest.option.implement":"Taip, įgyvendinti šį planą","implementPlanRequest.prompt":"Įgyvendinti šį planą?","inbox.archived.deleteError":"Nepavyko pašalinti archyvuoto paleidimo","inbox.archived.deleteRun":"Pašalinti suarchyvuotą paleidimą","inbox.archived.deleteSuccess":"Pašalinta archyvuota gija. Žiūrėkite <settingsLink>Suarchyvuotos gijos</settingsLink>.","inbox.archived.inlineLabel.auto":"Ši gija buvo automatiškai archyvuota. <learnMoreLink>Sužinokite daugiau</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ši gija buvo archyvuota.","inbox.archived.noMessageFound":"Nerasta jokio pranešimo","inbox.automations.createError":"Nepavyko sukurti automatizavimo","inbox.automations.deleteConfirm.cancel":"Atšaukti","inbox.automations.deleteConfirm.confirm":"Šalinti automatiką","inbox.automations.deleteConfirm.description":"Tai visam laikui pašalins automatizavimą ir sustabdys visus būsimus vykdymus.","inbox.automations.deleteConfirm.title":"Šalinti {name}?","inbox.automations.deleteError":"Nepavyko ištrinti automatizavimo","inbox.automations.editTooltip":"Redaguoti automatizavimą","inbox.automations.inProgress":"Vykdoma","inbox.automations.new":"Naujas","inbox.automations.newToolbar":"Naujas automatizavimas","inbox.automations.pauseTooltip":"Pristabdyti automatizavimą","inbox.automations.resumeTooltip":"Atnaujinti automatizavimą","inbox.automations.startingNow":"Paleidžiama dabar","inbox.automations.startsIn":"Paleidžiama {startTime}","inbox.automations.status.active":"Aktyvus","inbox.automations.status.paused":"Pristabdyta","inbox.automations.status.runs":"{count} veikia","inbox.automations.status.started":"Pradėta {date}","inbox.automations.updateError":"Nepavyko atnaujinti automatikos","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Visi","inbox.filter.ariaLabel":"Filtruoti gautųjų elementus","inbox.filter.unread":"Neskaityti","inbox.list.archived":"Suarchyvuota","inbox.list.inProgress":"Vykdoma","inbox.list.recent":"Pabaigta","inbox.list.upNext":"Suplanuota","inbox.mode.automations":"Automatikos","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Aprašymas nepateiktas","inbox.openThread":"Atidaryti giją","inbox.rightPanel.emptySubtitle":"Automatizuokite darbą nustatydami suplanuotas užduotis","inbox.rightPanel.emptySubtitle.learnMore":"Automatizuokite darbą nustatydami suplanuotas gijas. <link>Sužinokite daugiau</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktyvi automatika} few {# aktyvios automatikos} many {# aktyvių automatikų} other {# aktyvių automatikų}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nėra neskaitytų automatikų","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# neskaityta automatika} few {# neskaitytos automatikos} many {# neskaitytų automatikų} other {# neskaitytų automatikų}}","inbox.rightPanel.emptyTitle":"Nepasirinktas joks elementas","inbox.rightPanel.noThread":"Šiam elementui nėra gijos","inbox.rightPanel.quickStart.header":"Pradėkite nuo šablono","inbox.untitled":"Gautųjų elementas be pavadinimo","loadingPage.documentationLink":"dokumentas","loadingPage.errorDescription":"„Codex“ užstrigo dėl šios klaidos:","loadingPage.errorDescription.documentation":"Spustelėkite „Įkelti iš naujo“, kad paleistumėte „Codex“ plėtinį iš naujo, arba apsilankykite mūsų {documentationLink}, jei reikia papildomos pagalbos. ","loadingPage.errorSignal":"Keletas dalykų, kuriuos verta išbandyti:","loadingPage.errorTitle":"Įvyko klaida","loadingPage.openConfigToml":"Atidaryti Config.toml","loadingPage.reload":"Įkelti iš naujo","localConversation.contextCompacted":"Kontekstas automatiškai sutankintas","localConversation.contextCompacting":"Automatiškai sutankina kontekstą","localConversation.forkedFromConversation":"Sukurta atšaka {threadTitle}","localConversation.merge.autoResolve.failed":"Nepavyko pateikti automatinio sprendimo užklausos: {error}","localConversation.merge.autoResolve.sent":"Automatinio sprendimo užklausa išsiųsta","localConversation.merge.autoResolveMerge.missingConversation":"Nepavyksta automatiškai išspręsti be aktyvaus pokalbio.","localConversation.merge.autoResolveMerge.request":"Automatiškai išspręsti suliejimo konfliktus","localConversation.modelChanged":"Modelis pakeistas iš {fromModel} į {toModel}.","localConversation.modelChanged.warning.line1":"Modelių keitimas per pokalbį pablogins našumą.","localConversation.modelChanged.warning.line2":"Kontekstas gali automatiškai suspausti.","localConversation.moveThread.createBranch.label":"Sukurti atšaką","localConversation.moveToLocal.disabled.loading":"Įkeliama…","localConversation.moveToLocal.modal.continue":"Tęsti","localConversation.moveToLocal.modal.destinationLabel":"Perkelti į","localConversation.moveToLocal.modal.retry":"Bandyti iš naujo","localConversation.moveToWorktree.modal.back":"Atgal","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Atšaka jau yra.","localConversation.moveToWorktree.modal.branchesError":"Nepavyko įkelti atšakų","localConversation.moveToWorktree.modal.branchesLoading":"Įkeliamos atšakos...","localConversation.moveToWorktree.modal.branchesRetry":"Bandyti iš naujo","localConversation.moveToWorktree.modal.continue":"Tęsti","localConversation.moveToWorktree.modal.retry":"Bandyti iš naujo","localConversation.moveToWorktree.modal.trailingSlashError":"Atšakos pavadinimas negali baigtis „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nauja atšaka","localConversation.personalityChanged":"Perjungta į {personality} asmenybę","localConversation.planSummary.collapse":"Sutraukti plano santrauką","localConversation.planSummary.collapseTooltip":"Sutraukti","localConversation.planSummary.download":"Atsisiųsti planą","localConversation.planSummary.expand":"Išplėsti plano santrauką","localConversation.planSummary.expandTooltip":"Išplėsti","localConversation.planSummary.openInNewWindow":"Atidaryta","localConversation.planSummary.openInNewWindow.tooltip":"Atidaryti naujame lange","localConversation.planSummary.title":"Planas","localConversation.planSummary.titleWriting":"Rašymo planas","localConversation.planSummary.viewPlan":"Išplėsti planą","localConversation.remoteTaskCreated":"Sukurta {taskLink} „Codex Cloud“","localConversation.remoteTaskCreated.task":"užduotis","localConversation.scrollToBottomButton":"Slinkti į apačią","localConversation.sync.buttonLabel":"Perduoti į vietinį","localConversation.sync.buttonLabel.tooltip":"Perduokite pakeitimus tarp šio darbo medžio ir vietinės kasos.","localConversation.sync.modal.loading.title":"Perduodami pakeitimai…","localConversation.sync.modal.noChanges":"Jokių pakeitimų","localConversation.syncSetup.branchAriaLabel":"Atšakos pavadinimas","localConversation.syncSetup.branchName":"Atšakos pavadinimas","localConversation.syncSetup.branchPlaceholder.existing":"Pasirinkti esamą atšaką","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Įkeliamos atšakos...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Jau išsiregistravo","localConversation.syncSetup.checkoutClean":"Dabar įjungta {branchName}","localConversation.syncSetup.checkoutDirty":"Dabar įjungta {branchName} su nepateiktais keitimais","localConversation.syncSetup.checkoutError":"Nepavyko perduoti atšakos: {message}","localConversation.syncSetup.checkoutLabel":"Patikrinkite vietoje dabar","localConversation.syncSetup.checkoutOnLocal":"Perduoti į vietinį","localConversation.syncSetup.checkoutPending":"Tikrinama vietinė būsena…","localConversation.syncSetup.checkoutUnavailable":"Vietinė darbo vieta nepasiekiama","localConversation.syncSetup.checkoutUnknown":"Vietinė atšaka nepasiekiama","localConversation.syncSetup.continue":"Tęsti","localConversation.syncSetup.createBranchError":"Nepavyko nustatyti perdavimo atšakos: {message}","localConversation.syncSetup.error":"Kažkas nepavyko: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nepavyko padaryti darbo medžio momentinės kopijos. Bandykite dar kartą apdoroti iš naujo.","localConversation.syncSetup.mode.ariaLabel":"Pasirinkti atšakos režimą","localConversation.syncSetup.mode.existing":"Esama atšaka","localConversation.syncSetup.mode.new":"Nauja atšaka","localConversation.syncSetup.noBranches":"Atšakų nerasta","localConversation.syncSetup.overwriteError":"Atšaka sukurta, bet dar nėra iki galo perduota. Prieš apdorojant vietoje, perduokite rankiniu būdu.","localConversation.syncSetup.setPrefix":"Nustatyti priešdėlį","localConversation.syncSetup.subtitle":"Testuokite ir redaguokite darbo medžio pakeitimus vietoje. <a>Sužinokite daugiau</a>","localConversation.syncSetup.success.checkedOut":"Atšaka buvo sukurta ir užregistruota vietoje","localConversation.syncSetup.success.notCheckedOut":"Sukurta atšaka","localConversation.syncSetup.title":"Perduoti į vietinę atšaką","localConversation.syncWorktreeError.branchAriaLabel":"Atšakos pavadinimas","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Pasirinkite atšaką, kuriai norite perduoti, tada bandykite dar kartą įkelti pakeitimus.","localConversation.syncWorktreeError.branchSetup.title":"Atnaujinti filialą","localConversation.syncWorktreeError.branchUpdate.cta":"Atnaujinti ir bandyti iš naujo","localConversation.syncWorktreeError.branchUpdate.error":"Nepavyko atnaujinti atšakos: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Kažkas nepavyko: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Atšaka neužfiksuota jokiame darbo medyje.","localConversation.syncWorktreeV2.applyUncommitted":"Taikyti","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Norėdami pritaikyti nepatvirtintus pakeitimus, turite patikrinti atšaką vietoje","localConversation.syncWorktreeV2.branches.empty":"Atšakų nerasta","localConversation.syncWorktreeV2.branches.loading":"Įkeliamos atšakos...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Pakeisti perdavimo atšaką","localConversation.syncWorktreeV2.changeBranch.error":"Nepavyko pakeisti perdavimo atšakos: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Nepavyko taikyti","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Nepavyko perrašyti darbo medžio","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Nepavyko perrašyti vietoje","localConversation.syncWorktreeV2.commandError.back":"Atgal","localConversation.syncWorktreeV2.commandError.body":"Perduodant nepavyko įvykdyti „git“ komandos. Peržiūrėkite išvestį ir bandykite dar kartą.","localConversation.syncWorktreeV2.commandError.retry":"Bandyti iš naujo","localConversation.syncWorktreeV2.description":"Perduoti pakeitimus tarp vietinio ir šio darbo medžio <a>Sužinokite daugiau</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Pasirinkti perdavimo kryptį","localConversation.syncWorktreeV2.error.generic":"Perduodant įvyko klaida. Bandykite dar kartą.","localConversation.syncWorktreeV2.localBranchLabel":"Vietinis","localConversation.syncWorktreeV2.noChanges":"Pakeitimų skaičiavimas","localConversation.syncWorktreeV2.noChanges.summary":"Jokių pakeitimų","localConversation.syncWorktreeV2.overwrite.local":"Perrašyti vietoje","localConversation.syncWorktreeV2.overwrite.worktree":"Perrašyti darbo medį","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nepavyko pritaikyti pakeitimų","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nepavyko perrašyti vietinių pakeitimų","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nepavyko perrašyti darbo medžio pakeitimų","localConversation.syncWorktreeV2.partial.appliedLabel":"Pritaikyta","localConversation.syncWorktreeV2.partial.back":"Atgal","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Išspręskite konfliktus ir bandykite dar kartą.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konfliktai","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# failas} few {# failų} many {# failų} other {# failų}}","localConversation.syncWorktreeV2.partial.retry":"Bandyti iš naujo","localConversation.syncWorktreeV2.partial.skippedLabel":"Praleista","localConversation.syncWorktreeV2.stateFailed.generic":"Įkeliant perduodamus darbo medžio pakeitimus, įvyko klaida. Bandykite dar kartą.","localConversation.syncWorktreeV2.stateFailed.title":"Nepavyko įkelti darbo medžio pakeitimų","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nepavyko įkelti darbo medžio pakeitimų.","localConversation.syncWorktreeV2.statusError.retry":"Bandyti iš naujo","localConversation.syncWorktreeV2.statusError.title":"Nepavyko įkelti vietinės atšakos pakeitimų","localConversation.syncWorktreeV2.statusError.unknown":"Atšakos būsena šiuo metu nepasiekiama. Bandykite dar kartą.","localConversation.syncWorktreeV2.success.apply":"Pakeitimai sėkmingai pritaikyti","localConversation.syncWorktreeV2.success.overwrite":"Perdavimas sėkmingas","localConversation.syncWorktreeV2.title":"Perduoti pakeitimus","localConversation.syncWorktreeV2.worktreeLabel":"Darbo medis","localConversation.userInputRequest.inProgress":"Klausia {count, plural, one {klausimas} few {klausimai} many {klausimų} other {klausimų}}","localConversation.userInputRequest.noAnswer":"Atsakymas nepateiktas","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Paklausta","localConversation.userInputRequest.summary.count":"{count, plural, one {# klausimas} few {# klausimai} many {# klausimų} other {# klausimų}}","localConversation.workedFor":"Dirbo {time}","localConversation.worktreeBranchSetup.action.create":"Kurti","localConversation.worktreeBranchSetup.branchAriaLabel":"Atšakos pavadinimas","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Sukurti naują šaką","localConversation.worktreeBranchSetup.checkoutDisabled":"Ši atšaka jau užregistruota {location}","localConversation.worktreeBranchSetup.checkoutError":"Nepavyko perduoti atšakos: {message}","localConversation.worktreeBranchSetup.createBranchError":"Nepavyko nustatyti atšakos: {message}","localConversation.worktreeBranchSetup.error":"Kažkas nepavyko: {message}","localConversation.worktreeBranchSetup.subtitle":"Sukurkite atšaką, skirtą pakeitimams patvirtinti, įkelti ir sukurti PR iš šio darbo medžio. <a>Sužinokite daugiau</a>","localConversation.worktreeBranchSetup.title":"Dirbti čia","localConversationPage.addWorktreeToSidebar.tooltip":"Įrašyti kaip projektą, kad galėtumėte pradėti naujas gijas iš šio darbo medžio","localConversationPage.addWorktreeToSidebarError":"Nepavyko pridėti projekto","localConversationPage.commitAndCreatePrModal.errorTitle":"Nepavyko patvirtinti ir sukurti PR","localConversationPage.commitAndCreatePrModal.successTitle":"Pateiktas ir sukurtas PR","localConversationPage.commitAndPushModal.errorTitle":"Nepavyko pateikti ir spausti","localConversationPage.commitAndPushModal.successTitle":"Pateikti ir stumti pokyčius","localConversationPage.commitCreatePr.open":"Atidaryti ištraukimo užklausą","localConversationPage.commitCreatePr.successTitle":"Sukurtas PR su jūsų naujausiais pakeitimais","localConversationPage.createBranchButtonLabel":"Atšaka čia","localConversationPage.createPrModal.baseBranch":"Bazė","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Sukurti „PR“","localConversationPage.createPrModal.createDescription":"Atidarykite ištraukimo užklausą dėl naujausių pakeitimų.","localConversationPage.createPrModal.errorTitle":"Ištraukimo užklausa nepavyko","localConversationPage.createPrModal.headBranch":"Antraštė","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Atidaryti PR","localConversationPage.createPrModal.successTitle":"Sukurtas „pull request“","localConversationPage.createPrModal.title":"Sukurti ištraukimo užklausą","localConversationPage.createPrModal.viewDescription":"Šiai atšakai jau yra užklausa dėl ištraukimo.","localConversationPage.createPrModal.viewTitle":"Ištraukimo užklausa paruošta","localConversationPage.createPullRequestAuthGh":"Autentifikuokite „GitHub“ komandinę eilutę: paleiskite „gh auth login“","localConversationPage.createPullRequestBranchMissing":"Atšakos informacija neprieinama","localConversationPage.createPullRequestButtonLabel":"Sukurti „PR“","localConversationPage.createPullRequestButtonLabel.loading":"Kuriama PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Numatytoji filialo informacija nepasiekiama","localConversationPage.createPullRequestError":"Nepavyko sukurti „pull request“","localConversationPage.createPullRequestExistingPullRequest":"Šiai atšakai jau yra užklausa dėl ištraukimo","localConversationPage.createPullRequestGhStatusMissing":"Įkeliama „GitHub“ komandinės eilutės būsena…","localConversationPage.createPullRequestInstallGh":"Įdiekite „GitHub CLI“ (gh), kad sukurtumėte PR","localConversationPage.createPullRequestNoRepo":"Nerasta „git“ saugyklos","localConversationPage.createPullRequestPushStatusMissing":"Įkeliama stūmimo būsena...","localConversationPage.createPullRequestSetUpstream":"Prieš kurdami PR, paspauskite šią atšaką","localConversationPage.createPullRequestSuccessToast":"Sukurtas „pull request“","localConversationPage.createPullRequestSwitchBranch":"Prieš kurdami PR, patikrinkite funkcijų atšaką","localConversationPage.error.render":"Klaida pateikiant vietinį pokalbį","localConversationPage.error.toast":"Pasikalbėjimas nerastas","localConversationPage.forcePushError":"Nepavyko priverstinai paspausti","localConversationPage.generatePullRequestMessageError":"Nepavyko sugeneruoti ištraukimo užklausos pavadinimo ir teksto","localConversationPage.generatePullRequestMessageFailed":"Nepavyko sugeneruoti ištraukimo užklausos pavadinimo ir teksto.","localConversationPage.gitActionResult.branch":"Filialas","localConversationPage.gitActionResult.cancel":"Atšaukti","localConversationPage.gitActionResult.close":"Uždaryti","localConversationPage.gitActionResult.tryAgain":"Bandyti dar kartą","localConversationPage.gitActions":"„Git“ veiksmai","localConversationPage.newChat":"Naujas pokalbis","localConversationPage.openInTarget":"Atverti su","localConversationPage.openPrimaryTarget":"Atidaryta","localConversationPage.planItemsCompleted":"{completedItems} iš {totalItems, plural, one {# užduotis baigta} few {# užduotys baigtos} many {# užduočių baigta} other {# užduočių baigta}}","localConversationPage.pushAuthError":"Nepavyko spausti: reikalinga autentifikacija","localConversationPage.pushBranchMissing":"Atšakos informacija neprieinama","localConversationPage.pushButtonLabel":"Spausti","localConversationPage.pushButtonLabel.loading":"Spaudžiama...","localConversationPage.pushError":"Nepavyko paspausti pakeitimų","localConversationPage.pushModal.branchLabel":"Filialas","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Atšaukti","localConversationPage.pushModal.confirm":"Spausti","localConversationPage.pushModal.description":"Nusiųskite naujausius pakeitimus į nuotolinę saugyklą.","localConversationPage.pushModal.errorTitle":"Nepavyko spausti","localConversationPage.pushModal.forcePush":"Priversti spausti","localConversationPage.pushModal.successTitle":"Spaudimas baigtas","localConversationPage.pushModal.title":"Spaudimo pakeitimai","localConversationPage.pushModal.tryAgain":"Bandyti dar kartą","localConversationPage.pushNoUpstream":"Prieš spausdami šią atšaką, nustatykite priešsrovę","localConversationPage.pushNoUpstreamError":"Nepavyko spausti: nėra sukonfigūruotas išsiuntimo srautas","localConversationPage.pushNothingToPush":"Nėra naujų įsipareigojimų, kuriuos būtų galima paspausti","localConversationPage.pushRemoteChangedError":"Nepavyko spausti: nuotolinis serveris turi naujų pakeitimų","localConversationPage.pushRemoteRejectedError":"Spaudimas atmestas nuotoliniu  būdu","localConversationPage.pushStatusMissing":"Įkeliama stūmimo būsena...","localConversationPage.pushSuccessToast":"Paspausti pakeitimai","localConversationPage.viewPullRequestButtonLabel":"Peržiūrėti PR","localConversationPage.viewPullRequestButtonLabel.loading":"Įkeliama ištraukimo užklausa…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# failas} few {# failų} many {# failų} other {# failų}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# sąrašas} few {# sąrašai} many {# sąrašų} other {# sąrašų}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# paieška} few {# paieškų} many {# paieškų} other {# paieškų}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Tyrinėja","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Ištyrinėta","localConversationTurn.exploration.accordion.header.complete.withCounts":"Ištyrinėta {counts}","localConversationTurnStory.showContent":"Rodyti turinį","localConversationTurnStory.streamContent":"Transliacijos turinys","localConversationTurnStory.toggleReasoning":"Rodyti samprotavimą","localTaskRow.archiveError":"Nepavyko archyvuoti pokalbio","localTaskRow.resumeError":"Nepavyko atnaujinti užduoties","mermaidDiagram.ariaLabel":"Undinėlės diagrama","mermaidDiagram.copySource":"Kopijuoti undinėlę","mermaidDiagram.originalCode":"Mermaid šaltinio kodas","notifications.permissions.description":"Rodyti įspėjimus, kai reikalingi pranešimų leidimai","notifications.permissions.label":"Įjungti pranešimus apie leidimą","notifications.turnMode.always":"Visada","notifications.turnMode.description":"Nustatykite, kada „Codex“ praneš apie užbaigimą","notifications.turnMode.label":"Įjungti pranešimus apie užbaigimą","notifications.turnMode.off":"Niekada","notifications.turnMode.unfocused":"Tik tada, kai nesufokusuota","patchApprovalRequest.approve":"Patvirtinti","patchApprovalRequest.menu.allowAlways":"Taip, ir daugiau neklauskite šio seanso metu","patchApprovalRequest.menu.allowForSession":"Taip, ir daugiau neklauskite šio seanso metu","patchApprovalRequest.menu.allowOnce":"Taip","patchApprovalRequest.prompt":"Ar norite atlikti šiuos pakeitimus?","patchApprovalRequest.reject":"Ne","patchApprovalRequest.waitingForApproval":"Laukiama patvirtinimo redaguoti failus","pendingRequest.approvalExec.collapse":"Sutraukti","pendingRequest.approvalExec.expand":"Išplėsti","pendingRequestStory.toastAnswer":"Atsakymas: {answer}","pendingRequestStory.toastApprovalTitle":"Patvirtinimo atsakymas","pendingRequestStory.toastFollowupPrompt":"Raginimas: {prompt}","pendingRequestStory.toastFollowupTitle":"Tolesnis pranešimas išsiųstas","pendingRequestStory.toastNoAnswers":"Jokių atsakymų nepateikta","pendingRequestStory.toastQuestion":"Klausimas: {question}","pendingRequestStory.toastUnknownDecision":"Nežinomas","pendingRequestStory.toastUserInputTitle":"Pateikti atsakymai","quickAction.request.codeReview.branches.new":"Peržiūrėkite pakeitimus {from} su {to}","quickAction.request.codeReview.uncommitted.new":"Prašau peržiūrėti mano nepatvirtintus pakeitimus","reasoningItem.thinking":"Galvoja","reasoningItem.thought":"Mąstė","reasoningItem.thoughtWithElapsed":"Mąsto {elapsed}","recentConversations.title":"Vėliausi pokalbiai","recentTasks.worktreeInitFailedTitle":"Nepavyko inicijuoti darbo medžio","recentTasks.worktreeSettingUpTitle":"Darbo medžio nustatymas","requestInputPanel.continue":"Tęsti","requestInputPanel.dismiss":"Atmesti","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Įveskite čia","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ne, ir pasakykite „Codex“, ką daryti kitaip","requestInputPanel.selectedBadge":"Pasirinkta","requestInputPanel.skip":"Praleisti","requestInputPanel.submit":"Pateikti","review.commit.ariaLabel.includeUnstaged":"Įtraukti ne scenoje","review.commit.buttonLabel":"Pateikti","review.commit.disabled.committing":"Vykdoma...","review.commit.disabled.loadingDiff":"Įkeliamas skirtumas...","review.commit.disabled.missingContext":"Pridėkite kontekstą, kad sugeneruotumėte patvirtinimo pranešimą","review.commit.disabled.noChanges":"Nereikia atlikti jokių pakeitimų","review.commit.disabled.noSelection":"Pasirinkite pakeitimus, kuriuos norite atlikti","review.commit.disabled.unavailable":"Šiuo metu negalima atlikti","review.commit.error":"Nepavyko įrašyti pakeitimų","review.commit.form.changesToBeCommitted":"Pakeitimai","review.commit.form.commitTo":"Filialas","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Tęsti","review.commit.form.title":"Atlikite pakeitimus","review.commit.generate.emptyResponse":"Nepavyko sugeneruoti patvirtinimo pranešimo.","review.commit.generate.failed":"Nepavyko sugeneruoti patvirtinimo pranešimo: {error}","review.commit.generate.missingPrompt":"Pridėkite kontekstą, kad sugeneruotumėte patvirtinimo pranešimą.","review.commit.includeUnstaged":"Įtraukti ne scenoje","review.commit.loading.description":"Palaukite, tai gali užtrukti kelias minutes...","review.commit.loading.step.commit.done":"Įsipareigoti pakeitimai","review.commit.loading.step.commit.pending":"Įsipareigojimas keisti","review.commit.loading.step.createPr.done":"Sukurta ištraukimo užklausa","review.commit.loading.step.createPr.pending":"Kuriama ištraukimo užklausa","review.commit.loading.step.push.done":"Spausta į atšaką {branch}","review.commit.loading.step.push.pending":"Spaudžiama į atšaką {branch}","review.commit.loading.title.commit":"Įsipareigojimas keisti","review.commit.loading.title.createPr":"Kuriamas PR","review.commit.loading.title.push":"Stumiami pakeitimai","review.commit.messageLabel":"Pateikti pranešimą","review.commit.messagePlaceholder":"Palikite tuščią, kad patvirtinimo pranešimas būtų sugeneruotas automatiškai","review.commit.nextSteps":"Tolesni veiksmai","review.commit.nextSteps.commit":"Pateikti","review.commit.nextSteps.commitAndCreate":"Pateikti ir sukurti PR","review.commit.nextSteps.commitAndPush":"Pateikti ir spausti","review.commit.nextSteps.prRequiresGh":"Reikia „GitHub CLI“: {command}","review.commit.rows.changes":"Pakeitimai","review.commit.rows.commitCount":"{count, plural, one {# pateikimas} few {# pateikimai} many {# pateikimų} other {# pateikimų}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# pateikimas} few {# pateikimai} many {# pateikimų} other {# pateikimų}} ir {stats}","review.commit.rows.fileCount":"{count, plural, one {# failas} few {# failų} many {# failų} other {# failų}}","review.commit.state.error.body":"Įrašo įkėlimo metu įvyko klaida. Patikrinkite savo „git“ būseną ir bandykite dar kartą.","review.commit.state.error.title":"Nepavyko pateikti","review.commit.state.success.title":"Pateikti pakeitimai","review.commit.untracked.loadingStats":"Įkeliama nesekama skirtumų statistika…","reviewFindingAttachments.count":"{count, plural, one {# rezultatas} few {# rezultatai} many {# rezultatų} other {# rezultatai}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Redaguokite konfigūraciją, kad pritaikytumėte agento elgseną","settings.agent.configuration.configToml.docs":"Dokumentai","settings.agent.configuration.subtitle":"Šie nustatymai taikomi visur, kur naudojamas „Codex“","settings.automations.banner.danger":"Automatizavimas veikia su numatytaisiais smėlio dėžės nustatymais, kurie šiuo metu yra nustatyti kaip „Visiška prieiga“. Foninių automatizavimų vykdymas su visa prieiga kelia didesnę riziką, nes „Codex“ gali modifikuoti failus, vykdyti komandas ir pasiekti tinklą nepaklausęs. Apsvarstykite galimybę atnaujinti smėlio dėžės nustatymus į darbo vietos rašymą ir naudot <rulesDocsLink>taisykles</rulesDocsLink>, kad būtų galima pasirinktinai apibrėžti, kurias komandas agentas gali vykdyti su visiška prieiga.","settings.automations.banner.defaultHowTo.default":"Automatizavimas veikia su numatytaisiais smėlio dėžės nustatymais. Įrankių iškvietimai nepavyks, jei reikės modifikuoti failus už darbo vietos ribų, prisijungti prie tinklo arba dirbti su progr. kompiuteryje. Galite pasirinktinai įtraukti komandas į leidžiamųjų sąrašą, kad jos būtų vykdomos už smėlio dėžės ribų, naudodami <rulesDocsLink>taisykles</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizavimas veikia su numatytaisiais smėlio dėžės nustatymais, kurie nustatyti tik skaitymui. Įrankių iškvietimai nepavyks, jei reikės modifikuoti failus, prisijungti prie tinklo arba dirbti su progr. jūsų kompiuteryje. Apsvarstykite galimybę atnaujinti smėlio dėžės nustatymus į darbo vietos rašymą.","settings.automations.cancel":"Atšaukti","settings.automations.create":"Kurti","settings.automations.cwdEmpty":"Nėra pasiekiamų projekto aplankų","settings.automations.cwdLabel":"Projektai","settings.automations.cwdPlaceholder":"Pasirinkti aplanką","settings.automations.cwdSubtitle":"Jei norite, kad automatizavimas veiktų konkrečioje atšakoje, galite tai nurodyti savo raginime.","settings.automations.delete":"Šalinti","settings.automations.dialog.editTitle":"Redaguoti automatizavimą","settings.automations.dialog.newTitle":"Naujas automatizavimas","settings.automations.dialog.subtitle":"Automatizuokite pasikartojančias užduotis fone. „Codex“ prideda išvadas į gautųjų dėžutę arba automatiškai archyvuoja užduotį, jei nėra apie ką pranešti. <learnMoreLink>Sužinokite daugiau</learnMoreLink>","settings.automations.dialog.title":"Sukurti automatizavimą","settings.automations.executionCopy.git":"Automatizavimas veikia fone tam skirtuose darbo medžiuose.","settings.automations.executionCopy.nonGit":"Automatizavimas ne versijų kontroliuojamuose projektuose vykdomas tiesiogiai projekto kataloge. Apsvarstykite galimybę naudoti „Git“, kad būtų galima jį vykdyti foniniuose darbo medžiuose.","settings.automations.executionEnvironment.local":"Vietinis","settings.automations.executionEnvironment.worktree":"Darbo medis","settings.automations.loading":"Įkeliama…","settings.automations.nameLabel":"Pavadinimas","settings.automations.namePlaceholder":"Patikrinkite, ar nėra sargybos problemų","settings.automations.pause":"Pristabdyti","settings.automations.promptLabel":"Raginimas","settings.automations.promptPlaceholder":"ieškoti avarijų $Sentry","settings.automations.resume":"Atnaujinti","settings.automations.rruleSummaryFallback":"Pasirinktinis tvarkaraštis","settings.automations.runNow":"Bandyti","settings.automations.save":"Įrašyti","settings.automations.scheduleBadge.dayCount":"{count} d.","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"Darbo dienomis","settings.automations.scheduleBadge.weekends":"Darbo dienomis","settings.automations.scheduleHeader":"Tvarkaraštis","settings.automations.scheduleHours":"valandos","settings.automations.scheduleLabel":"Paleisti kas","settings.automations.scheduleMode.daily":"Kasdien","settings.automations.scheduleMode.interval":"Intervalas","settings.automations.scheduleModeLabel":"Tvarkaraščio tipas","settings.automations.scheduleSummary.daily":"Kasdien {time}","settings.automations.scheduleSummary.interval":"Kas {count} val.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# diena} few {# dienų} many {# dienų} other {# dienų}}","settings.automations.scheduleSummary.intervalDays":"{interval} {days}","settings.automations.scheduleSummary.intervalHourly":"Kas valandą","settings.automations.scheduleSummary.singleDay":"{day} {time}","settings.automations.scheduleSummary.weekdays":"Darbo dienomis {time}","settings.automations.scheduleSummary.weekdaysLabel":"darbo dienomis","settings.automations.scheduleSummary.weekends":"Darbo dienomis {time}","settings.automations.scheduleSummary.weekendsLabel":"darbo dienomis","settings.automations.scheduleSummary.weekly":"{days} {time}","settings.automations.scheduleWeekdays":"Įjungti","settings.automations.weekdayState.excluded":"Išskirta","settings.automations.weekdayState.included":"Įtraukta","settings.conversationDetail.steps":"Žingsniai","settings.conversationDetail.steps.description":"Slėpti komandas ir išvestis","settings.conversationDetail.stepsWithCommands":"Žingsniai su kodų komandomis","settings.conversationDetail.stepsWithCommands.description":"Rodyti komandas, sutraukti išvestį","settings.conversationDetail.stepsWithOutput":"Žingsniai su kodo išvestimi","settings.conversationDetail.stepsWithOutput.description":"Rodyti komandas ir išplėsti išvestį","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Archyvuotų pokalbių nėra.","settings.dataControls.archivedChats.error":"Nepavyko įkelti archyvuotų pokalbių.","settings.dataControls.archivedChats.loading":"Įkeliami archyvuoti pokalbiai…","settings.dataControls.archivedChats.unarchive":"Išarchyvuoti","settings.dataControls.archivedChats.unarchiveError":"Nepavyko išarchyvuoti pokalbio","settings.dataControls.archivedChats.unarchiveSuccess":"Išarchyvuota gija. <viewNowLink>Peržiūrėti dabar</viewNowLink>","settings.dataControls.archivedChats.untitled":"Pokalbis be pavadinimo","settings.editRow.headerPlaceholder":"Raktas","settings.editRow.removeEntry":"Pašalinti įrašą","settings.editRow.valuePlaceholder":"Vertė","settings.general.appearance":"Išvaizda","settings.general.appearance.codeFont":"Kodo šriftas","settings.general.appearance.codeFont.description":"Koreguokite šriftą ir dydį, naudojamą kodui pokalbiuose ir skirtumuose","settings.general.appearance.codeFontFamily":"Kodo šriftų šeima","settings.general.appearance.codeFontSize":"Kodo šrifto dydis","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Nustatykite, kad langai naudotų vientisą foną, o ne sistemos permatomumą","settings.general.appearance.opaqueWindows.label":"Naudokite nepermatomą lango foną","settings.general.appearance.sansFontFamily":"Sans šriftų šeima","settings.general.appearance.sansFontFamily.description":"Koreguokite „Codex“ naudotojo sąsajos šriftą","settings.general.appearance.sansFontSize":"Sans šrifto dydis","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Rodyti viso lango šventės efektus, kol GPT-5.3-Codex-Spark vykdo pirmąjį ėjimą","settings.general.appearance.sparkCelebrationEffects.label":"Kibirkštėlės ​​šventės efektai","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Tamsioji","settings.general.appearance.theme.description":"Naudokite šviesų, tamsų arba derančius prie jūsų sistemos","settings.general.appearance.theme.light":"Šviesioji","settings.general.appearance.theme.system":"Sistema","settings.general.appearance.usePointerCursors.description":"Pakeisti žymeklį į rodyklę, kai užvedate pelės žymeklį virš interaktyvių elementų","settings.general.appearance.usePointerCursors.label":"Naudokite rodyklių žymeklius","settings.general.enterBehavior.description":"Kai įjungta, norint siųsti kelių eilučių užklausas, reikia paspausti {modifierSymbol} + klavišą „Enter“.","settings.general.enterBehavior.label":"Reikia paspausti {modifierSymbol} + klavišą „Enter“, jei norite siųsti ilgus raginimus","settings.general.experimentalFeatures":"Eksperimentinės funkcijos (beta versija)","settings.general.experimentalFeatures.empty":"Nėra jokių beta versijos eksperimentinių funkcijų.","settings.general.experimentalFeatures.loading":"Įkeliamos eksperimentinės funkcijos…","settings.general.experimentalFeatures.restartNote":"Paleiskite Codex iš naujo, kad pritaikytumėte eksperimentinius funkcijų pakeitimus","settings.general.experimentalFeatures.toggle":"Perjungti {featureName}","settings.general.followUpQueueMode.description":"Stebėti eilę, kol veikia „Codex“, arba nutraukti dabartinį vykdymą","settings.general.followUpQueueMode.interrupt":"Valdyti","settings.general.followUpQueueMode.label":"Stebėjimo elgsena","settings.general.followUpQueueMode.queue":"Eilė","settings.general.notifications":"Pranešimai","settings.general.power.preventSleepWhileRunning.description":"Kol „Codex“ vykdo giją, laikykite kompiuterį budrų.","settings.general.power.preventSleepWhileRunning.label":"Neleiskite miegoti bėgimo metu","settings.git.branchPrefix.ariaLabel":"Atšakos priešdėlis","settings.git.branchPrefix.description":"Priešdėlis, naudojamas kuriant naujas „Codex“ atšakas","settings.git.branchPrefix.label":"Atšakos priešdėlis","settings.git.branchPrefix.placeholder":"„Codex“/","settings.git.branchPrefix.save.error":"Nepavyko įrašyti atšakos priešdėlio","settings.git.branchPrefix.save.success":"Įrašytas atšakos priešdėlis","settings.git.commitInstructions.ariaLabel":"Pateikti instrukcijas","settings.git.commitInstructions.description":"Pridėta prie patvirtinimo pranešimų generavimo raginimų","settings.git.commitInstructions.label":"Pateikti instrukcijas","settings.git.commitInstructions.placeholder":"Pridėti patvirtinimo pranešimo gaires…","settings.git.commitInstructions.save":"Įrašyti","settings.git.commitInstructions.save.error":"Nepavyko įrašyti patvirtinimo instrukcijų","settings.git.commitInstructions.save.success":"Įrašytos patvirtinimo instrukcijos","settings.git.forcePush.ariaLabel":"Visada priversti spausti","settings.git.forcePush.description":"Naudokite --force-with-lease, kai siunčiama iš „Codex“","settings.git.forcePush.label":"Visada priversti spausti","settings.git.forcePush.save.disabled":"Visada priversti spausti išjungta","settings.git.forcePush.save.enabled":"Visada priversti spausti įjungta","settings.git.forcePush.save.error":"Nepavyko išsaugoti priverstinio spaudimo nustatymo","settings.git.prInstructions.ariaLabel":"Ištraukimo užklausos instrukcijos","settings.git.prInstructions.description":"Pridėta prie „Codex“ sukurtų ištraukimo užklausų tekstų","settings.git.prInstructions.label":"Ištraukimo užklausos instrukcijos","settings.git.prInstructions.placeholder":"Pridėti ištraukimo užklausos gaires…","settings.git.prInstructions.save":"Įrašyti","settings.git.prInstructions.save.error":"Nepavyko įrašyti ištraukimo užklausos instrukcijų","settings.git.prInstructions.save.success":"Įrašytos ištraukimo užklausos instrukcijos","settings.ide.defaultOpenTarget.description":"Kur pagal numatytuosius nustatymus atidaromi failai ir aplankai","settings.ide.defaultOpenTarget.label":"Numatytoji atvira paskirties vieta","settings.ide.defaultOpenTarget.placeholder":"Taikinių nerasta","settings.ide.language.auto":"Automatiškai aptikti","settings.ide.language.autoOption":"Automatiškai aptikti","settings.ide.language.description":"Programėlės vartotojo sąsajos kalba","settings.ide.language.label":"Kalba","settings.ide.language.search":"Ieškoti kalbų","settings.layout.actionButton":"Paleisti plėtinį iš naujo","settings.layout.actionTitle":"Nustatymai su veiksmu","settings.layout.fullWidthTitle":"Nustatymai (visas plotis)","settings.layout.title":"Nuostatos","settings.localEnvironments.actions.add":"Įtraukti veiksmą","settings.localEnvironments.actions.add.description":"Sukurkite naują komandą, kurią paleisite įrankių juostoje.","settings.localEnvironments.actions.add.save":"Įrašyti","settings.localEnvironments.actions.empty":"Pridėti veiksmą, kad būtų galima vykdyti komandas iš vietinės įrankių juostos.","settings.localEnvironments.actions.icon.debug":"Taisyti riktus","settings.localEnvironments.actions.icon.run":"Paleisti","settings.localEnvironments.actions.icon.test":"Bandyti","settings.localEnvironments.actions.icon.tool":"Įrankis","settings.localEnvironments.actions.item.button.delete":"Šalinti","settings.localEnvironments.actions.item.command":"Veiksmo scenarijus","settings.localEnvironments.actions.item.name":"Pavadinimas","settings.localEnvironments.actions.item.platforms":"Platformos","settings.localEnvironments.actions.item.platforms.help":"Paleisti tik konkrečioje OS.","settings.localEnvironments.actions.item.platforms.linux":"„Linux“","settings.localEnvironments.actions.item.platforms.macos":"„macOS“","settings.localEnvironments.actions.item.platforms.selector":"Platformos parinktis","settings.localEnvironments.actions.item.platforms.specific":"Specifinė platforma","settings.localEnvironments.actions.item.platforms.windows":"„Windows“","settings.localEnvironments.actions.item.tooltip.delete":"Šalinti","settings.localEnvironments.actions.title":"Veiksmai","settings.localEnvironments.breadcrumb.back":"Atgal","settings.localEnvironments.breadcrumb.edit":"Redaguoti","settings.localEnvironments.breadcrumb.root":"Aplinkos","settings.localEnvironments.environment.actions.description":"Šie veiksmai gali vykdyti bet kokią komandą ir bus rodomi antraštėje.","settings.localEnvironments.environment.actionsLabel":"Veiksmai","settings.localEnvironments.environment.create":"Sukurti vietinę aplinką","settings.localEnvironments.environment.defaultName":"vietinis","settings.localEnvironments.environment.edit":"Redaguoti vietinę aplinką","settings.localEnvironments.environment.empty":"Šiam projektui dar nesukonfigūruota jokia vietinė aplinka.","settings.localEnvironments.environment.name":"Pavadinimas","settings.localEnvironments.environment.setup":"Nustatymų scenarijus","settings.localEnvironments.environment.setup.description":"Šis scenarijus veiks kuriant darbo medį.","settings.localEnvironments.environment.setup.hint":"Veikia projekto šakniniame kataloge.","settings.localEnvironments.environment.setup.platformOverrides":"Platformos nepaisymas","settings.localEnvironments.environment.setup.platformOverrides.add":"Pridėti {platform} nustatymų scenarijų","settings.localEnvironments.environment.setup.platformOverrides.description":"Perrašo numatytąjį scenarijų konkrečioms OS.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Pašalinti","settings.localEnvironments.environment.setup.script":"Scenarijus","settings.localEnvironments.environment.title":"Aplinkos duomenys","settings.localEnvironments.file.missing":"Įrašykite, kad sukurtumėte šį failą pirmą kartą.","settings.localEnvironments.file.parseError":"Nepavyko išanalizuoti esamo failo. Įrašius jis bus perrašytas. ({error})","settings.localEnvironments.file.path":"{path} failas","settings.localEnvironments.file.readError":"Nepavyko įkelti vietinės aplinkos duomenų. ({error})","settings.localEnvironments.file.title":"Vietinės aplinkos failas","settings.localEnvironments.loading.body":"Gaunama jūsų projekto konfigūracija.","settings.localEnvironments.loading.title":"Įkeliamos vietinės aplinkos","settings.localEnvironments.preview.devOnly":"(tik KŪRIMAS)","settings.localEnvironments.preview.save":"Įrašyti","settings.localEnvironments.preview.saveError":"Nepavyko įrašyti failo. ({error})","settings.localEnvironments.preview.title":"Peržiūrėti","settings.localEnvironments.save.disabled.name":"Pridėkite aplinkos pavadinimą, kad įrašytumėte.","settings.localEnvironments.save.disabled.noChanges":"Nėra pakeitimų, kuriuos būtų galima įrašyti.","settings.localEnvironments.save.disabled.saving":"Įrašoma...","settings.localEnvironments.save.success":"Įrašyta vietinė aplinka","settings.localEnvironments.unavailable.body":"Nepavyko įkelti šio projekto vietinės aplinkos nustatymų.","settings.localEnvironments.unavailable.title":"Vietinės aplinkos nepasiekiamos","settings.localEnvironments.workspace.add":"Pridėti projektą","settings.localEnvironments.workspace.title":"Projektas","settings.localEnvironments.workspaceSelect.addLabel":"Pridėti aplinką","settings.localEnvironments.workspaceSelect.description":"Vietinės aplinkos nurodo „Codex“, kaip nustatyti projekto darbo medžius. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Kol kas nėra projektų. Pridėkite vieną, kad sukonfigūruotumėte vietines aplinkas.","settings.localEnvironments.workspaceSelect.errorLabel":"Aplinkai reikia dėmesio","settings.localEnvironments.workspaceSelect.learnMore":"Sužinokite daugiau","settings.localEnvironments.workspaceSelect.listLabel":"Galimi projektai","settings.localEnvironments.workspaceSelect.loading":"Įkeliami projektai","settings.localEnvironments.workspaceSelect.loadingLabel":"Įkeliama aplinka","settings.localEnvironments.workspaceSelect.title":"Pasirinkti projektą","settings.localEnvironments.workspaceSelect.viewAction":"Vaizdas","settings.mcp.addServer":"Pridėti serverį","settings.mcp.app.configure":"Konfigūruoti","settings.mcp.app.connect":"Prijungti","settings.mcp.apps.refresh":"Įkelti iš naujo","settings.mcp.detail.addArgument":"Pridėti argumentą","settings.mcp.detail.addEnvVar":"Pridėti aplinkos kintamąjį","settings.mcp.detail.addEnvVarPassthrough":"Pridėti kintamąjį","settings.mcp.detail.args":"Argumentai","settings.mcp.detail.back":"Atgal","settings.mcp.detail.command":"Komanda paleisti","settings.mcp.detail.cwd":"Darbo katalogas","settings.mcp.detail.docs":"Atidaryti MCP dokumentaciją","settings.mcp.detail.docs.link":"Dokumentai","settings.mcp.detail.envVarPassthrough":"Aplinkos kintamųjų perdavimas","settings.mcp.detail.envVars":"Aplinkos kintamieji","settings.mcp.detail.http.addEnvHeader":"Pridėti kintamąjį","settings.mcp.detail.http.addHeader":"Pridėti antraštę","settings.mcp.detail.http.bearerToken":"Turėtojo token aplinkos kintamasis","settings.mcp.detail.http.envHeaders":"Antraštės iš aplinkos kintamųjų","settings.mcp.detail.http.headers":"Antraštės","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Pavadinimas","settings.mcp.detail.save":"Įrašyti","settings.mcp.detail.switchTransportNotice":"Jei norite pakeisti MCP serverio tipą, pirmiausia išdiekite jį.","settings.mcp.detail.titleExisting":"Atnaujinti {name} MCP","settings.mcp.detail.titleNew":"Prisijungimas prie pasirinktinio MCP","settings.mcp.detail.transport.http":"Srautinis HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Išdiegti","settings.mcp.empty":"Nėra prijungtų pasirinktinių MCP serverių","settings.mcp.myServers":"Pasirinktiniai serveriai","settings.mcp.partnerServer.description.figma":"Sukurkite geresnį kodą, įtraukdami visą „Figma“ kontekstą","settings.mcp.partnerServer.description.github":"Integruokite su „GitHub“ API, kad automatizuotumėte darbo eigas ir išgautumėte duomenis","settings.mcp.partnerServer.description.linear":"Integracija su „Linear“ problemų stebėjimo ir projektų valdymo sistemomis","settings.mcp.partnerServer.description.notion":"Skaityti dokumentus, atnaujinti puslapius, tvarkyti užduotis","settings.mcp.partnerServer.description.playwright":"Integruokite naršyklės automatizavimą, kad įdiegtumėte dizainą ir testuotumėte vartotojo sąsają.","settings.mcp.partnerServer.install":"Įdiegti","settings.mcp.partnerServer.installAndAuthenticate":"Įdiegti ir patvirtinti","settings.mcp.partnerServer.logoAlt":"{label} logotipas","settings.mcp.partnerServer.manage":"Tvarkyti","settings.mcp.partnerServer.vendor":"sukūrė {vendor}","settings.mcp.recommendedServers":"Rekomenduojami serveriai","settings.mcp.restartApp":"Paleisti iš naujo","settings.mcp.restartExtension":"Paleisti plėtinį iš naujo","settings.mcp.server.enable":"Įjungti","settings.mcp.server.login":"Patvirtinti tapatybę","settings.mcp.server.settings":"Nuostatos","settings.multiselect.createOption":"Kurti „{value}“","settings.multiselect.removeOption":"Pašalinti","settings.nav.account":"Paskyra","settings.nav.agent":"Konfigūracija","settings.nav.ariaLabel":"Nuostatos","settings.nav.back":"Atgal į progr.","settings.nav.data-controls":"Suarchyvuotos gijos","settings.nav.environments":"Debesies aplinkos","settings.nav.externalTooltip":"[alfa] Atsidaro naršyklėje","settings.nav.general-settings":"Bendra","settings.nav.git-settings":"„Git“","settings.nav.local-environments":"Aplinkos","settings.nav.mcp-settings":"MCP serveriai","settings.nav.notImplemented":"[alfa] Alfa versija nepasiekiama","settings.nav.personalization":"Pritaikomumas","settings.nav.skills-settings":"Įgūdžiai","settings.nav.usage-analytics":"Naudojimas ir analizė","settings.nav.worktrees":"Darbo medžiai","settings.openSourceLicenses.back":"Atgal","settings.openSourceLicenses.loading":"Įkeliama…","settings.openSourceLicenses.missing":"Nerasta jokių trečiųjų šalių pranešimų.","settings.openSourceLicenses.notSupported":"Šiame priegloboje nepasiekiama.","settings.openSourceLicenses.rowDescription":"Trečiųjų šalių pranešimai apie susietąsias priklausomybes","settings.openSourceLicenses.rowLabel":"Atvirojo kodo licencijos","settings.openSourceLicenses.subtitle":"Trečiųjų šalių pranešimai apie šioje progr. esančias priklausomybes","settings.openSourceLicenses.title":"Atvirojo kodo licencijos","settings.openSourceLicenses.view":"Vaizdas","settings.personalization.agents.description":"Redaguokite instrukcijas, kurios pritaikys „Codex“ jums. {learnMore}","settings.personalization.agents.learnMore":"Sužinokite daugiau","settings.personalization.agents.loadError":"Nepavyko įkelti agents.md.","settings.personalization.agents.loading":"Įkeliama agents.md…","settings.personalization.agents.placeholder":"Pridėkite savo pasirinktines instrukcijas…","settings.personalization.agents.retry":"Bandyti iš naujo","settings.personalization.agents.save":"Įrašyti","settings.personalization.agents.save.error":"Nepavyko įrašyti agents.md failo","settings.personalization.agents.save.success":"Įrašytas agents.md","settings.personalization.agents.title":"Pasirinktinės instrukcijos","settings.personalization.personality.description":"Pasirinkite numatytąjį „Codex“ atsakymų toną","settings.personalization.personality.label":"Asmenybė","settings.sample.contentBody":"Naudokite šį išdėstymą, kad sukurtumėte nustatymų skydelius su vienodais tarpais.","settings.sample.contentTitle":"Turinio bloko pavyzdys","settings.section.account":"Paskyra","settings.section.agent":"Konfigūracija","settings.section.data-controls":"Suarchyvuotos gijos","settings.section.environments":"Debesies aplinkos","settings.section.external":"Atsidaro naršyklėje alfa versijos metu","settings.section.general-settings":"Bendra","settings.section.git-settings":"„Git“","settings.section.local-environments":"Aplinkos","settings.section.mcp-settings":"MCP serveriai","settings.section.mcp-settings.docs":"Dokumentai","settings.section.mcp-settings.subtitle":"Prijunkite išorinius įrankius ir duomenų šaltinius.","settings.section.personalization":"Pritaikomumas","settings.section.skills-settings":"Įgūdžiai","settings.section.unavailable":"Alfa versijoje dar nepasiekiama","settings.section.usage-analytics":"Naudojimas ir analizė","settings.section.worktrees":"Darbo medžiai","settings.threadDetail.description":"Pasirinkite, kiek komandų išvesties rodyti gijose","settings.threadDetail.label":"Gijos detalė","settings.worktrees.conversation.untitled":"Pokalbis be pavadinimo","settings.worktrees.delete.error":"Nepavyko pašalinti darbo medžio","settings.worktrees.empty.body":"Čia bus rodomi „Codex“ sukurti darbo medžiai.","settings.worktrees.empty.title":"Dar nėra darbo medžių","settings.worktrees.error.body":"Įkeliant darbo medžius įvyko klaida.","settings.worktrees.error.retry":"Bandyti iš naujo","settings.worktrees.error.title":"Nepavyko įkelti darbo medžių","settings.worktrees.loading.body":"Gaunami darbo medžio duomenys.","settings.worktrees.loading.title":"Įkeliami darbo medžiai","settings.worktrees.repository.loading":"Įkeliami saugyklos metaduomenys…","settings.worktrees.repository.unknown":"Nežinoma saugykla","settings.worktrees.row.conversations":"Pokalbiai","settings.worktrees.row.conversations.empty":"Su šiuo darbo medžiu nėra susietų pokalbių.","settings.worktrees.row.conversations.loading":"Įkeliami pokalbiai…","settings.worktrees.row.delete":"Šalinti","settings.worktrees.row.title":"Darbo medis","sidebarElectron.addWorkspaceRoot":"Pridėti naują projektą","sidebarElectron.archiveThread":"Archyvo gija","sidebarElectron.archiveThreadError":"Nepavyko archyvuoti gijos","sidebarElectron.collapseFolder":"Sutraukti aplanką","sidebarElectron.createStableWorktree.dialog.cancel":"Atšaukti","sidebarElectron.createStableWorktree.dialog.create":"Kurti","sidebarElectron.debugNavLink":"Taisyti riktus","sidebarElectron.editWorkspaceRootOptionName":"Redaguoti pavadinimą","sidebarElectron.expandFolder":"Išplėsti aplanką","sidebarElectron.groupByMenu.recency":"Chronologinis sąrašas","sidebarElectron.groupByMenu.title":"Tvarkyti","sidebarElectron.groupByMenu.workspace":"Pagal projektą","sidebarElectron.inboxRouteNavLink":"Automatikos","sidebarElectron.markThreadUnread":"Pažymėti kaip neskaitytą","sidebarElectron.missingWorkspaceRoot":"Šis projekto aplankas buvo pašalintas arba perkeltas","sidebarElectron.newThread":"Nauja gija","sidebarElectron.newThreadInGroup":"Pradėti naują giją {folder}","sidebarElectron.noRecentThreads":"Nėra naujausių gijų","sidebarElectron.noTasks":"Nėra gijų","sidebarElectron.noTasks.start":"Pridėti naują projektą","sidebarElectron.noTasksWithFilter":"Nė viena gija neatitinka filtrų","sidebarElectron.pinnedThreads":"Prisegtos gijos","sidebarElectron.recentNavLink":"Gijos","sidebarElectron.recentThreads":"Naujausios gijos","sidebarElectron.removeWorkspaceRootOption":"Pašalinti","sidebarElectron.renameThread":"Pervadinti giją","sidebarElectron.renameThreadDialogAriaLabel":"Gijos pavadinimas","sidebarElectron.renameThreadDialogCancel":"Atšaukti","sidebarElectron.renameThreadDialogPlaceholder":"Pridėti pavadinimą...","sidebarElectron.renameThreadDialogSave":"Įrašyti","sidebarElectron.renameThreadDialogSubtitle":"Tegul jis būna trumpas ir atpažįstamas.","sidebarElectron.renameThreadDialogTitle":"Pervadinti giją","sidebarElectron.renameThreadError":"Nepavyko pervadinti gijos","sidebarElectron.renameWorkspaceRootOptionLabel":"Rodyti pavadinimą","sidebarElectron.showLess":"Rodyti mažiau","sidebarElectron.showMenu.all":"Visos gijos","sidebarElectron.showMenu.relevant":"Aktualus","sidebarElectron.showMenu.relevantHint":"Rodyti tik naujausias dabartinės atšakos, darbo medžių ar kitų gijų, kurioms reikia jūsų dėmesio, gijas","sidebarElectron.showMenu.title":"Rodyti","sidebarElectron.showMenu.tooltip":"Filtruoti, rūšiuoti ir tvarkyti gijas","sidebarElectron.showMenu.trigger":"Filtruoti šoninės juostos gijas","sidebarElectron.showMore":"Rodyti daugiau","sidebarElectron.skillsRouteNavLink":"Įgūdžiai","sidebarElectron.sortMenu.created":"Sukurta","sidebarElectron.sortMenu.title":"Rūšiuoti pagal","sidebarElectron.sortMenu.updated":"Atnaujinta","sidebarElectron.taskNavigation":"Automatizavimo aplankai","sidebarElectron.tasksInFolder":"Automatizavimai {folder}","sidebarElectron.workspaceOptions":"Projekto veiksmai, skirti {folder}","sidebarElectron.worktreeGroupTooltip":"Tai yra „git“ darbo medis","skills.appsPage.createSkill":"Naujas įgūdis","skills.appsPage.empty.skills":"Įgūdžių nerasta","skills.appsPage.search.skills":"Ieškoti įgūdžių","skills.appsPage.search.skills.label":"Ieškoti įgūdžių","skills.appsPage.section.installedApps":"Įdiegta","skills.appsPage.section.skills":"Įgūdžiai","skills.appsPage.subheading":"Suteikite „Codex“ supergalių.<link>Sužinokite daugiau</link>","skills.appsPage.tab.recommended":"Rekomenduojama","skills.appsPage.tab.skills":"Įgūdžiai","skills.card.contentsError":"Nepavyko įkelti įgūdžių turinio.","skills.card.disable":"Išjungti","skills.card.disableSuccess":"{skillName} įgūdis išjungtas","skills.card.disabledBadge":"Išjungta","skills.card.enable":"Įjungti","skills.card.enableSuccess":"{skillName} įgūdis įjungtas","skills.card.loadingContents":"Įkeliamas įgūdžių turinys...","skills.card.more":"Daugiau veiksmų","skills.card.open":"Atidaryta","skills.card.removeFailed":"Nepavyko išdiegti įgūdžio","skills.card.removeSuccess":"{skillName} įgūdis išdiegtas","skills.card.toggleEnabledError":"Nepavyko atnaujinti įgūdžio","skills.card.try":"Bandyti","skills.card.trySkill":"Bandyti įgūdį","skills.card.uninstall":"Išdiegti","skills.hero.dotLabel":"Eiti į skaidrę {index}","skills.hero.next":"Kitas teminis įgūdis","skills.hero.trySkill":"Bandyti įgūdį","skills.page.createSkill":"Naujas įgūdis","skills.page.empty":"Įgūdžių nerasta","skills.page.filteredEmpty":"Nėra įgūdžių, atitinkančių jūsų filtrus","skills.page.filteredEmptyDescription":"Pabandykite pakoreguoti paieškos arba apimties filtrus","skills.page.heading":"Įgūdžiai","skills.page.loading":"Įkeliami įgūdžiai...","skills.page.refreshSkills":"Įkelti iš naujo","skills.page.refreshSkillsToUseNew":"Atnaujinkite, kad galėtumėte naudoti naują (-us) įgūdį (-džius)","skills.page.search":"Ieškoti įgūdžių","skills.page.search.label":"Ieškoti įgūdžių","skills.page.subheading":"Suteikite „Codex“ supergalių.<link>Sužinokite daugiau</link>","skills.preview.copyPrompt":"Kopijuoti raginimą","skills.preview.examplePrompt":"Raginimo pavyzdys","skills.recommended.error":"Nepavyko įkelti rekomenduojamų įgūdžių","skills.recommended.install":"Įdiegti","skills.recommended.installSkill":"Įdiegti įgūdį","skills.recommended.installSuccess":"{skillName} įgūdis įdiegtas","skills.recommended.installed":"Įdiegta","skills.scope.admin":"Administratorius","skills.scope.adminInstalled":"Įdiegta administratoriaus","skills.scope.builtIn":"Sistema","skills.scope.personal":"Asmeninė","skills.scope.repo":"Saugykla","skills.scope.system":"Sistema","skills.scope.team":"Komanda","skills.scope.user":"Naudotojas","skills.section.installed":"Įdiegta","skills.section.recommended":"Rekomenduojama","story.slidingToggle.existing":"Yra","story.slidingToggle.fromLocal":"Iš vietinio","story.slidingToggle.new":"Naujas","story.slidingToggle.toLocal":"Į vietinį","terminal.close":"Uždaryti terminalą","terminal.title":"Terminalas","thinkingShimmer.default":"Galvoja","threadEnvIcon.cloudTooltip":"Šis pokalbis vyksta „Codex Cloud“ platformoje.","threadEnvIcon.localTooltip":"Šis pokalbis vyksta lokaliai.","threadEnvIcon.worktreeTooltip":"Šis pokalbis vyksta vietiniame „git“ darbo medyje.","threadHeader.archiveConfirmCancel":"Atšaukti","threadHeader.archiveConfirmConfirm":"Archyvuoti","threadHeader.copyAppLink":"Kopijuoti progr. nuorodą","threadHeader.copySessionId":"Kopijuoti seanso ID","threadHeader.copyWorkingDirectory":"Kopijuoti darbo katalogą","threadHeader.forkIntoLocal":"Kurti atšaką į vietinę","threadHeader.forkIntoWorktree":"Kurti atšaką naujame darbo medyje","threadHeader.forkPendingWorktreePrompt":"Kurti šio pokalbio atšaką į naują darbo medį.","threadHeader.forkPendingWorktreeTitle":"Pokalbio atšakos kūrimas","threadHeader.forkThreadError":"Nepavyko sukurti gijos atšakos","threadHeader.forkThreadRequiresGitRepo":"Sujungimui į naują darbo medį reikalinga „git“ saugykla","threadHeader.moreActions":"Gijos veiksmai","threadPage.newThread":"Nauja gija","threadPage.runAction.changeEnvironment":"Pakeisti aplinką","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} veiksmai","threadPage.runAction.environmentSelector.label":"Pasirinkti aplinką","threadPage.runAction.label":"Paleisti","threadPage.runAction.missing.label":"Nustatyti paleidimo veiksmą","threadPage.runAction.setup.commandLabel":"Komanda, skirta paleisti","threadPage.runAction.setup.description":"Pasakykite „Codex“, kaip įdiegti priklausomybes ir paleisti progr.","threadPage.runAction.setup.editMore":"Aplinkos nustatymai","threadPage.runAction.setup.placeholder":"pvz.: npm install npm run","threadPage.runAction.setup.submit":"Įrašyti ir paleisti","threadPage.runAction.setup.title":"Paleisti","threadPage.runAction.tooltip.withEnvironment":"{environmentName} veiksmai","threadPage.toggleDiffPanel":"Perjungti skirtumų skydelį","threadPage.toggleTerminal":"Perjungti terminalą","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Atidaryti aplanką","toolSummaryForCmd.exploredFiles":"<verb>Išvardyti</verb> failai","toolSummaryForCmd.exploredFilesInPath":"<verb>Išvardyti</verb> failai {path}","toolSummaryForCmd.exploringFiles":"<verb>Išvardijami</verb> failai","toolSummaryForCmd.exploringFilesInPath":"<verb>Išvardijami</verb> failai {path}","toolSummaryForCmd.ranGenericCommand":"<status>Vykdė komandą</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Vykdė</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Nuskaityti</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Vykdoma komanda</status>{timer}","toolSummaryForCmd.runningTimer":"skirta {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Ieškota</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Ieškota</verb> failų","toolSummaryForCmd.searchedForInPath":"<verb>Ieškota</verb> {query} {path}","toolSummaryForCmd.searchingFor":"<verb>Ieškoma</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Ieškoma</verb> failų","toolSummaryForCmd.searchingForInPath":"<verb>Ieškoma</verb> {query} {path}","traceRecording.startDetails.cancel":"Atšaukti","wham.diff.addComment":"Pridėti komentarą","wham.diff.binaryFile":"Dvejetainis failas nerodomas","wham.diff.noContent":"Nėra turinio","wham.fileTag.deleted":"Ištrintas","wham.fileTag.new":"Naujas","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d.","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mėn.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} sav.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} m.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Dirba su jūsų užduotimi","wham.whamProposedTask.title":"Siūloma užduotis","wham.whamProposedTask.useSuggestion":"Naudoti pasiūlymą","workspaceRootDialog.addError":"Nepavyko pridėti projekto","workspaceRootDialog.cancel":"Atšaukti","workspaceRootDialog.confirmAdd":"Pridėti projektą","workspaceRootDialog.confirmPick":"Naudoti projektą","workspaceRootDialog.description":"Įveskite kelią {host}, kurį naudosite kaip projektą.","workspaceRootDialog.pathLabel":"Projekto kelias","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Pridėti projekto kelią","workspaceRootDialog.title.pick":"Pasirinkti projekto kelią","worktreeInitV2.cancel":"Atšaukti","worktreeInitV2.notification.failedTitle":"Nepavyko nustatyti darbo medžio","worktreeInitV2.output.empty":"Laukiama išvesties...","worktreeInitV2.status.error":"Nepavyko nustatyti darbo medžio.","worktreeInitV2.status.running":"Darbo medžio kūrimas ir sąrankos paleidimas.","worktreeInitV2.status.runningFork":"Kuriamas darbo medis, kad būtų sukurta šio pokalbio atšaka.","worktreeInitV2.status.success":"Darbo medis paruoštas","worktreeInitV2.title":"Darbo medžio kūrimas","worktreeInitV2.workLocallyInstead":"Vietoj to dirbkite vietoje","worktreeRestoreBanner.body":"Šios gijos darbo medis buvo pašalintas siekiant sutaupyti vietos diske","worktreeRestoreBanner.missing.body":"Šio gijos darbo katalogas nebėra","worktreeRestoreBanner.missing.title":"Trūksta dabartinio darbo katalogo","worktreeRestoreBanner.restore.error":"Nepavyko atkurti darbo medžio: {message}","worktreeRestoreBanner.restore.success":"Atkurtas darbo medis","worktreeRestoreBanner.restoreCta":"Atkurti darbo medį","worktreeRestoreBanner.title":"Išvalytas darbo medis"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopijuoti","app.sidebar.hide":"Slėpti šoninę juostą","app.sidebar.show":"Rodyti šoninę juostą","app.sidebar.tooltip":"Perjungti šoninę juostą","appHeader.installUpdate":"Atnaujinti","appSunset.body":"Ši progr. versija nebepalaikoma. Naujausią versiją atsisiųskite <here>čia</here>.","appSunset.title":"Reikia atnaujinti","automation.updateDirective.create":"Kurti","automation.updateDirective.open":"Atidaryta","automation.updateDirective.untitled":"Automatizavimas be pavadinimo","automation.updateDirective.update":"Atnaujinti","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# bandymas} few {# bandymai} many {# bandymų} other {# bandymų}}","cloudTaskRow.archiveError":"Nepavyko archyvuoti užduoties","code.diff.requestChange":"Pateikti keitimo užklausą","code.diffComment.cancel":"Atšaukti","code.diffComment.comment":"Komentaras","code.diffComment.delete":"Šalinti","code.diffComment.save":"Įrašyti","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Apie jokius rezultatus nepranešta.","codex.alert.closeAriaLabel":"Uždaryti","codex.appUpsellBanner.cbpApi.message":"Kurkite greičiau su „Codex“ progr. Atsisiųskite dabar arba {learnMoreLink}.","codex.appUpsellBanner.download":"Atsisiųsti","codex.appUpsellBanner.freeGo.message":"„Codex“ yra įtrauktas į jūsų planą iki kovo 2 d. Išbandykite „Codex“ progr., kad galėtumėte kurti greičiau.","codex.appUpsellBanner.later":"Vėliau","codex.appUpsellBanner.learnMoreLowercase":"Sužinokite daugiau","codex.appUpsellBanner.new":"Naujas","codex.appUpsellBanner.proPlusBusiness.message":"Išbandykite „Codex“ progr. su 2 kartus didesniais tarifų limitais iki balandžio 2 d. Atsisiųskite dabar arba {learnMoreLink}.","codex.appUpsellBanner.title":"„Codex“ progr.","codex.applyDropdown.header.changes":"Pakeitimai","codex.applyDropdown.header.fileCount":"{count, plural, one {# failas} few {# failų} many {# failų} other {# failų}}","codex.applyDropdown.header.rows":"eilutės","codex.applyDropdown.header.title":"Taikyti pakeitimus","codex.applyDropdown.header.workspace":"Projektas","codex.applyDropdown.results.conflicted":"{count, plural, one {1 failas konfliktuoja:} few {{count} failai konfliktuoja:} many {{count} failų konfliktuoja:} other {{count} failų konfliktuoja:}}","codex.applyDropdown.results.empty":"Failai nebuvo nukopijuoti","codex.applyDropdown.results.skipped":"{count, plural, one {1 failas praleistas:} few {{count} failai praleisti:} many {{count} failų praleista:} other {{count} failų praleista:}}","codex.applyOrRevertBanner.apply":"Taikyti","codex.applyOrRevertBanner.applyMessage":"Pritaikyti pakeitimus ir tęsti lokaliai?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ši užduotis buvo atlikta {environment} taip, kad ji gali būti netiksliai pritaikyta.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Tokiu būdu atlikti pakeitimai {environment} gali būti netaikomi tiksliai.","codex.applyOrRevertBanner.reapply":"Vėl taikyti","codex.applyOrRevertBanner.revert":"Grąžinti","codex.applyOrRevertBanner.revertMessage":"Atšaukti pritaikytus pakeitimus?","codex.applyResultsDialog.applied":"Tiksliai pritaikyta ({count})","codex.applyResultsDialog.close":"Uždaryti","codex.applyResultsDialog.conflicted":"Konfliktuota ({count})","codex.applyResultsDialog.noDetails":"Nėra failo informacijos.","codex.applyResultsDialog.skipped":"Praleista ({count})","codex.applyResultsDialog.title":"Taikyti rezultatus","codex.archiveInfo":"Peržiūrėti archyvuotus pokalbius {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Duomenų valdikliai","codex.archiveInfo.electron":"Peržiūrėti archyvuotus pokalbius {settingsLink}","codex.archiveInfo.extension":"Peržiūrėkite archyvuotus pokalbius savo .codex aplanke.","codex.archiveInfo.settingsLink":"Nuostatos","codex.banner.content.description":"Vykdykite užduotis lygiagrečiai, sekite eigą bet kur ir peržiūrėkite PR naudodami dirbtinį intelektą.","codex.banner.content.headline":"„Codex“ viską daro.","codex.cloudTaskRow.archiveTask":"Archyvuoti užduotį","codex.cloudTaskRow.confirmArchiveTask":"Patvirtinti","codex.command.feedback":"Atsiliepimas","codex.command.findInThread":"Rasti","codex.command.forceReloadSkills":"Priversti įkelti įgūdžius iš naujo","codex.command.logOut":"Atsijungti","codex.command.manageTasks":"Tvarkyti užduotis","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Atgal","codex.command.navigateForward":"Pirmyn","codex.command.newThread":"Nauja gija","codex.command.nextThread":"Kita gija","codex.command.openFolder":"Atidaryti aplanką","codex.command.openSkills":"Eikite į įgūdžius","codex.command.openThreadOverlay":"Iššokanti gija","codex.command.personalitySettings":"Asmenybė","codex.command.previousThread":"Ankstesnė gija","codex.command.settings":"Nuostatos","codex.command.toggleDiffPanel":"Perjungti skirtumų skydelį","codex.command.toggleSidebar":"Perjungti šoninę juostą","codex.command.toggleTerminal":"Perjungti terminalą","codex.commandGroup.app":"Programėlė","codex.commandGroup.configure":"Konfigūruoti","codex.commandGroup.navigation":"Navigacija","codex.commandGroup.panels":"Skydeliai","codex.commandGroup.skills":"Įgūdžiai","codex.commandGroup.thread":"Gija","codex.commandGroup.workspace":"Projektas","codex.commandMenu.noResults":"Nerasta atitikmenų","codex.commandMenu.searchPlaceholder":"Paieškos komandos","codex.commandMenu.suggestedGroup":"Siūloma","codex.commandMenu.switchWorkspace":"Perjungti projektą","codex.commandMenu.title":"Komandos meniu","codex.common.retry":"Bandyti iš naujo","codex.composer.searchBranches":"Ieškoti atšakų","codex.dialog.basic.body":"Tai paprastas modalinis dialogo langas, naudojantis mūsų apvalkalą aplink „Radix“ dialogo langą.","codex.dialog.basic.cancel":"Atšaukti","codex.dialog.basic.confirm":"Patvirtinti","codex.dialog.basic.open":"Atidaryti dialogo langą","codex.dialog.basic.title":"Dialogo lango pavyzdys","codex.dialog.long.close":"Uždaryti","codex.dialog.long.line":"Slenkama eilutė {index}, skirta ilgam turiniui dialogo lange rodyti. ","codex.dialog.long.open":"Atidaryti ilgą dialogo langą","codex.dialog.long.title":"Ilgo turinio dialogo langas","codex.dialog.unstyled.body":"Šioje istorijoje parodyta, kaip skambinantieji gali visiškai kontroliuoti dialogo lango turinio stilių.","codex.dialog.unstyled.open":"Atidaryti nestilizuotą dialogo langą","codex.dialog.unstyled.title":"Nestilizuotas turinys","codex.diff.openInEditorPrompt.openButton":"Atidaryti rengyklėje","codex.diff.openInEditorPrompt.singleLine":"Šis failas per didelis, kad būtų galima čia rodyti.","codex.diffView.failedToDecodeBase64Diff":"Nepavyko iššifruoti „base64“ skirtumo","codex.diffView.filesChanged":"{fileCount, plural, one {# failas pakeistas} few {# failai (-ų) pakeisti (-a)} many {# failai (-ų) pakeisti (-a)} other {# failai (-ų) pakeisti (-a)}}","codex.diffView.imagePreviewAlt":"Vaizdo peržiūra","codex.diffView.imagePreviewEmpty":"Nėra vaizdo","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nėra skirtumų duomenų","codex.diffView.pdfPreview.nextPage":"Kitas puslapis","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Ankstesnis puslapis","codex.diffView.pdfPreviewEmpty":"Nėra PDF peržiūros","codex.diffView.pdfPreviewError":"Nepavyksta pateikti PDF peržiūros","codex.diffView.richPreviewDisable":"Išjungti išsamią peržiūrą","codex.diffView.richPreviewEnable":"Įjungti išsamią peržiūrą","codex.diffView.richPreviewLoading":"Įkeliama peržiūra...","codex.diffView.richPreviewToggle":"Perjungti išsamią peržiūrą","codex.diffView.switchToUnified":"Perjungti į vieningą skirtumą","codex.environmentSelector.noEnvironment":"Nėra aplinkos","codex.environments.environmentSettings":"Aplinkos nustatymai","codex.environments.learnMore":"Sužinokite daugiau","codex.environments.listError":"Nepavyko įkelti aplinkų.","codex.environments.noEnvironmentsFound":"Nerasta aplinkų","codex.environments.searchError":"Nepavyko ieškoti aplinkų.","codex.errorBoundary.genericError":"Oi, įvyko klaida","codex.errorBoundary.goHome":"Bandyti dar kartą","codex.file.patch.missing":"Nepavyko sukurti šio failo pataisos.","codex.gallery.automations.cwdLabel":"Projektai","codex.gallery.automations.nameLabel":"Pavadinimas","codex.gallery.automations.namePlaceholder":"Apibendrinti užduotį","codex.gallery.automations.promptLabel":"Raginimas","codex.gallery.automations.promptPlaceholder":"Apibūdinkite, ką turėtų daryti „Codex“","codex.gallery.dialogs.automation.label":"Automatikos dialogo langas","codex.gallery.dialogs.basic.body":"Šį išdėstymą naudokite paprastiems patvirtinimams arba trumpoms formoms.","codex.gallery.dialogs.basic.cancel":"Atšaukti","codex.gallery.dialogs.basic.confirm":"Patvirtinti","codex.gallery.dialogs.basic.label":"Pagrindinis dialogo langas","codex.gallery.dialogs.basic.title":"Dialogo lango pavyzdys","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Apibūdinkite problemą","codex.gallery.dialogs.feedbackSubmission.bad":"Blogas rezultatas","codex.gallery.dialogs.feedbackSubmission.bug":"Klaida","codex.gallery.dialogs.feedbackSubmission.good":"Geras rezultatas","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Įtraukti dabartinius „Codex“ seanso žurnalus","codex.gallery.dialogs.feedbackSubmission.label":"Atsiliepimo pateikimas","codex.gallery.dialogs.feedbackSubmission.other":"Kita","codex.gallery.dialogs.feedbackSubmission.placeholder":"Aprašykite problemą čia","codex.gallery.dialogs.feedbackSubmission.submit":"Pateikti","codex.gallery.dialogs.feedbackSubmission.title":"Atsiliepimas","codex.gallery.dialogs.feedbackSuccess.body":"Atsiliepimas įkeltas. Jei problema išlieka, atidarykite „GitHub“ problemą arba paminėkite gijos ID esamoje atviroje problemoje:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Atmesti","codex.gallery.dialogs.feedbackSuccess.label":"Atsiliepimas sėkmingas","codex.gallery.dialogs.feedbackSuccess.title":"Atsiliepimas įkeltas","codex.gallery.dialogs.gitApplyResults.applied":"Tiksliai pritaikyta (2)","codex.gallery.dialogs.gitApplyResults.close":"Uždaryti","codex.gallery.dialogs.gitApplyResults.conflicted":"Konfliktuota (1)","codex.gallery.dialogs.gitApplyResults.label":"Taikyti rezultatus","codex.gallery.dialogs.gitApplyResults.title":"Taikyti rezultatus","codex.gallery.dialogs.gitPushError.body":"Ištraukite naujausius pakeitimus arba priverstinai juos perrašykite, jei žinote, kad nuotolinę istoriją saugu perrašyti.","codex.gallery.dialogs.gitPushError.cancel":"Atšaukti","codex.gallery.dialogs.gitPushError.force":"Priversti spausti","codex.gallery.dialogs.gitPushError.label":"Spaudimo klaida","codex.gallery.dialogs.gitPushError.subtitle":"Jūsų ašaka yra už origi./pagr.","codex.gallery.dialogs.gitPushError.title":"Nepavyko paspausti pakeitimų","codex.gallery.dialogs.gitRevert.cancel":"Atšaukti","codex.gallery.dialogs.gitRevert.confirm":"Grąžinti","codex.gallery.dialogs.gitRevert.label":"Grąžinti pakeitimus","codex.gallery.dialogs.gitRevert.skip":"Daugiau nebeklausti","codex.gallery.dialogs.gitRevert.subtitle":"Šis veiksmas pašalina visus šiuos pakeitimus.","codex.gallery.dialogs.gitRevert.title":"Grąžinti pakeitimus?","codex.gallery.dialogs.longForm.label":"Ilgos formos dialogas","codex.gallery.dialogs.proseModal.body":"Šis modalinis stilius naudojamas ilgesnėms instrukcijoms, įvadiniam mokymuisi arba raiškiojo turinio blokams.","codex.gallery.dialogs.proseModal.close":"Uždaryti","codex.gallery.dialogs.proseModal.subtitle":"Čia galite dalytis ilgesnėmis instrukcijomis ar dokumentais.","codex.gallery.dialogs.proseModal.title":"Prozos modalas","codex.gallery.dialogs.submitBlocked.label":"Pateikti užblokuotus","codex.gallery.dialogs.submitBlocked.message":"Jūsų pranešimo išsiųsti nepavyko, nes projektas nepasiekiamas.","codex.gallery.dialogs.submitBlocked.ok":"Gerai","codex.gallery.dialogs.submitBlocked.title":"Nepavyko išsiųsti pranešimo","codex.gallery.dialogs.title":"Dialogo langai","codex.gallery.dropdown.filterPlaceholder":"Filtruoti elementus","codex.gallery.dropdowns.actionRow":"Veiksmų eilės","codex.gallery.dropdowns.actionRow.disabled":"Išjungtas veiksmas","codex.gallery.dropdowns.actionRow.primary":"Pagrindinis veiksmas","codex.gallery.dropdowns.actionRow.secondary":"Antrinis veiksmas","codex.gallery.dropdowns.actionRow.trigger":"Rodyti veiksmus","codex.gallery.dropdowns.basic":"Pagrindinis išskleidžiamasis meniu","codex.gallery.dropdowns.basic.newFile":"Naujas failas","codex.gallery.dropdowns.basic.newFolder":"Naujas aplankas","codex.gallery.dropdowns.basic.openSettings":"Atidaryti nuostatas","codex.gallery.dropdowns.basic.title":"Greiti veiksmai","codex.gallery.dropdowns.basic.trigger":"Atidaryti meniu","codex.gallery.dropdowns.basic.upload":"Įkelti","codex.gallery.dropdowns.panel":"Skydo paviršius","codex.gallery.dropdowns.panel.apply":"Taikyti","codex.gallery.dropdowns.panel.body":"Peržiūrėkite skirtumus ir pritaikykite juos savo projektui.","codex.gallery.dropdowns.panel.preview":"Peržiūrėti","codex.gallery.dropdowns.panel.title":"Taikyti pakeitimus","codex.gallery.dropdowns.panel.trigger":"Atidaryti skydelį","codex.gallery.dropdowns.search":"Išskleidžiamasis meniu su paieška","codex.gallery.dropdowns.search.first":"Alpha kanalas","codex.gallery.dropdowns.search.second":"Beta atšaka","codex.gallery.dropdowns.search.third":"Išleisti kandidatą","codex.gallery.dropdowns.search.trigger":"Filtruoti elementus","codex.gallery.dropdowns.submenu":"Išskleidžiamasis meniu su submeniu","codex.gallery.dropdowns.submenu.optionA":"Projektas Alpha","codex.gallery.dropdowns.submenu.optionB":"Projektas Beta","codex.gallery.dropdowns.submenu.optionC":"Projektas Gamma","codex.gallery.dropdowns.submenu.primary":"Priskirti savininką","codex.gallery.dropdowns.submenu.secondary":"Perkelti į","codex.gallery.dropdowns.submenu.tertiary":"Archyvuoti","codex.gallery.dropdowns.submenu.trigger":"Pasirinkti veiksmą","codex.gallery.dropdowns.title":"Išskleidžiamieji meniu","codex.gallery.inbox.automations.close":"Uždaryti","codex.gallery.inbox.automations.popover.cardTitle":"Tvarkyti automatiką","codex.gallery.inbox.automations.popover.dialogTitle":"Tvarkyti automatiką","codex.header.settingsTooltip":"Nuostatos","codex.hunk.patch.error":"Nepavyko pateikti į sceną","codex.hunk.patch.missing":"Nepavyko sukurti pataisos šiam gabalui.","codex.hunk.patch.partialSuccess":"Dalinė sėkmė","codex.hunk.patch.revertError":"Nepavyko pateikti ne scenoje","codex.hunk.patch.revertSuccess":"Sėkmingai pateikta ne scenoje","codex.hunk.patch.success":"Sėkmingai pateikta scenoje ","codex.legal.autonomy.details":"Daugiau detalių žr. {link}","codex.legal.autonomy.details.link":"„Codex“ dokumentai","codex.legal.autonomy.title":"Nuspręskite, kiek autonomijos norite suteikti","codex.legal.backButton":"Atgal","codex.legal.cloud.taskOne.meta":"openai/agi · Spalio 12 d.","codex.legal.cloud.taskOne.title":"Paaiškinkite saugyklą naujam dizaineriui","codex.legal.cloud.taskThree.meta":"openai/codex · Spalio 8 d.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Sukurkite tamsaus režimo temą","codex.legal.cloud.taskTwo.meta":"openai/agi · Spalio 9 d.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ištaisykite priėmimo klaidą","codex.legal.continue.apikey":"Tęsti","codex.legal.continueButton":"Kitas","codex.legal.copilot.details":"Naudoja jūsų „Copilot“ planą visiems modelio skambučiams, sąskaitų išrašymui ir tarifų limitams. „Codex“ plėtinio naudojimui taikomos {oaiTos} ir {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"„GitHub“ paslaugų teikimo sąlygos","codex.legal.copilot.oaiTosLink":"„OpenAI Codex“ paslaugų teikimo sąlygos","codex.legal.copilot.title":"Naudojama „GitHub Copilot“","codex.legal.mistakes.review":"Peržiūrėkite parašytą kodą ir vykdomas komandas","codex.legal.mistakes.title":"„Codex“ gali daryti klaidas","codex.legal.powered.details":"Naudoja jūsų plano tarifų limitus ir {link}","codex.legal.powered.details.link":"mokymo duomenų nuostatos","codex.legal.powered.title":"Naudojama jūsų ChatGPT paskyros","codex.legal.step.cloud.subtitle":"Siųskite užduotis į „Codex“, kad jos veiktų fone, jog galėtumėte išlikti susikaupę ir judėti greičiau.","codex.legal.step.cloud.title":"Perduokite „Codex“ debesyje","codex.legal.step.intro.subtitle":"„Codex“ naršo, redaguoja, vykdo komandas ir atlieka testus tiesiogiai jūsų saugykloje. Naudojama jūsų ChatGPT paskyros.","codex.legal.step.intro.title":"„Codex“ jūsų IDE","codex.legal.step.todo.subtitle":"Parašykite TODO komentarą ir vienu spustelėjimu konvertuokite jį į „Codex“ užduotį.","codex.legal.step.todo.title":"Paverskite TODO į „Codex“ užduotis","codex.legal.todo.heading":"// TODO: įdiegti schemą","codex.localConversation.closeImagePreview":"Uždaryti vaizdo peržiūrą","codex.localConversation.userImageAttachment":"Naudotojo priedas","codex.localTaskRow.archiveTask":"Archyvo gija","codex.localTaskRow.awaitingApproval":"Laukiama patvirtinimo","codex.localTaskRow.awaitingResponse":"Laukiama atsakymo","codex.localTaskRow.confirmArchiveTask":"Patvirtinti","codex.loggedOut.apiKeyPrompt.cancel":"Atšaukti","codex.loggedOut.apiKeyPrompt.confirm":"Gerai","codex.loggedOut.apiKeyPrompt.getKey":"Gauti API raktą","codex.loggedOut.apiKeyPrompt.inputLabel":"Įveskite savo „OpenAI“ API raktą","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Debesijos užduotys išjungtos naudojant API raktą","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Debesijos užduotys išjungtos naudojant „Copilot“ ir API raktą","codex.loggedOut.signIn":"Prisijungti naudojant ChatGPT","codex.loggedOut.signIn.cancel":"Atšaukti prisijungimą","codex.loggedOut.signInWithCopilot":"Prisijungti naudojant „GitHub Copilot“","codex.loggedOut.title":"„Codex“","codex.loggedOut.useApiKey":"Naudoti API raktą","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} įrankis","codex.mcpTool.collapsedLabel.verb.called":"Iškviestas","codex.mcpTool.collapsedLabel.verb.calling":"Iškviečiamas","codex.mcpTool.embeddedResource.contentLabel":"Turinys","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME tipas","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Įrankis nepateikė jokio turinio","codex.mcpTool.rawPayloadHeading":"Neapdoroto {server}.{tool} įrankio iškvietimo naudingoji apkrova","codex.menu.recent":"Naujausia","codex.menu.seeAllHistory":"Žiūrėti visą istoriją","codex.modelCapacityBanner.headline.noReset":"{modelName} šiuo metu yra pilnai užpildyta. Bandykite dar kartą vėliau arba pradėkite naują pokalbį su kitu modeliu.","codex.modelCapacityBanner.headline.withReset":"{modelName} šiuo metu yra pilnai užpildyta. Bandykite dar kartą už {resetDate} arba pradėkite naują pokalbį su kitu modeliu.","codex.modelCapacityBanner.title":"Pasirinktas modelis yra pilnai užpildytas","codex.patch.change.contentsDeleted":"Turinys pašalintas","codex.patch.change.created":"Sukurta","codex.patch.change.created-file":"Sukurtas failas","codex.patch.change.creating":"Kuriama","codex.patch.change.deleted":"Ištrintas","codex.patch.change.deleted-file":"Pašalintas failas","codex.patch.change.deleting":"Šalinama","codex.patch.change.edited":"Paredaguota","codex.patch.change.edited-file":"Redaguotas failas","codex.patch.change.editing":"Redaguojama","codex.patch.change.noChanges":"Jokių pakeitimų","codex.patch.change.rejected-add":"Atmesta","codex.patch.change.rejected-delete":"Atmesta","codex.patch.change.rejected-edit":"Atmesta","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} iš {total} užduočių baigtos","codex.plan.todoListCreated":"Sukurtas darbų sąrašas su {total} užduotimis","codex.profileDropdown.apiKeyAuth":"Prisijungta naudojant API raktą","codex.profileDropdown.codexSettings":"„Codex“ nustatymai","codex.profileDropdown.copilotAuth":"Prisijungta naudojant „Copilot“","codex.profileDropdown.defaultAccountTitle":"Numatytoji paskyra","codex.profileDropdown.enterBehavior":"{modifierSymbol} + įveskite, jei norite siųsti ilgus raginimus","codex.profileDropdown.enterBehaviorError":"Nepavyko atnaujinti nuostatos","codex.profileDropdown.getPlus":"Naujovinkite, kad padidintumėte ribas","codex.profileDropdown.keyboardShortcuts":"Spartieji klaviatūros klavišai","codex.profileDropdown.language":"Kalba","codex.profileDropdown.languageDefault":"Automatiškai aptikti","codex.profileDropdown.languageSearchPlaceholder":"Ieškoti kalbų","codex.profileDropdown.languageUpdateError":"Nepavyko atnaujinti kalbos","codex.profileDropdown.logOut":"Atsijungti","codex.profileDropdown.mcp":"MCP nustatymai","codex.profileDropdown.openConfigToml":"Atidaryti config.toml","codex.profileDropdown.openConfigToml.wsl":"Atidaryti config.toml WSL aplinkoje","codex.profileDropdown.openExtensionSettings":"Atidaryti nuostatas","codex.profileDropdown.openMcpSettings":"Atidarykite MCP nustatymus","codex.profileDropdown.openOnStartup":"Atidaryti paleidžiant","codex.profileDropdown.openOnStartupError":"Nepavyko atnaujinti nuostatų","codex.profileDropdown.openSkillsSettings":"Atidaryti įgūdžių nustatymus","codex.profileDropdown.personalAccountTitle":"Asmeninė paskyra","codex.profileDropdown.queueFollowUps":"Eilės stebėjimas","codex.profileDropdown.queueFollowUpsError":"Nepavyko atnaujinti nuostatos","codex.profileDropdown.readDocs":"Nuskaityti dokumentus","codex.profileDropdown.readSkillsDocs":"Nuskaityti dokumentus","codex.profileDropdown.runInWsl":"Vykdyti WSL","codex.profileDropdown.runInWslError":"Nepavyko atnaujinti nuostatų","codex.profileDropdown.runInWslTooltip":"„Codex“ veikia WSL viduje. Rekomenduojama siekiant geresnio „smėlio dėžės“ saugumo ir našumo.","codex.profileDropdown.settings":"IDE nustatymai","codex.profileDropdown.settingsPage":"Nuostatos","codex.profileDropdown.signInWithOpenAI":"Prisijungti naudojant ChatGPT","codex.profileDropdown.skills":"Įgūdžių nustatymai","codex.profileDropdown.switchToCopilotAccount":"Naudoti „Copilot“ paskyrą","codex.profileDropdown.switchToOpenAIAccount":"Naudoti „OpenAI“ paskyrą","codex.profileDropdown.todoCodelens":"Pataisykite TODO komentarus","codex.profileDropdown.todoCodelensError":"Nepavyko atnaujinti nuostatos","codex.profileDropdown.windowsDocumentation":"„Windows“ dokumentacija","codex.profileFooter.signedInFallback":"Nuostatos","codex.profileFooter.upgrade":"Naujovinti","codex.recentTasksMenu.clearSearch":"Išvalyti paiešką","codex.recentTasksMenu.cloud":"Debesies užduotys","codex.recentTasksMenu.count":"{count, plural, =0 {Užduočių nevykdoma} one {# užduotis vykdoma} few {# užduočių vykdoma} many {# užduočių vykdoma} other {# užduočių vykdoma}}","codex.recentTasksMenu.empty":"Dar nėra gijų","codex.recentTasksMenu.errorCloud":"Nepavyko įkelti užduočių.","codex.recentTasksMenu.errorCloud.inline":"Nepavyko įkelti debesies užduočių.","codex.recentTasksMenu.filterAll":"Visi","codex.recentTasksMenu.filterCloudTasks":"Filtruoti debesies užduotis","codex.recentTasksMenu.filterTooltip":"Filtruoti užduotis pagal aplinką","codex.recentTasksMenu.local":"Vietinės užduotys","codex.recentTasksMenu.recent":"Visos užduotys","codex.recentTasksMenu.search":"Ieškoti naujausių užduočių","codex.recentTasksMenu.searchEmpty":"Rezultatų nėra","codex.recentTasksMenu.tooltip":"Užduočių istorija","codex.recentTasksMenu.trigger":"Naujausios užduotys. {count, plural, one {# vykdoma} few {# vykdomos} many {# vykdoma} other {# vykdoma}}","codex.remoteConversation.applyDiff.applyCta":"Taikyti pakeitimus","codex.remoteConversation.applyDiff.dropdownTitle":"Taikyti pakeitimus vietinei atšakai","codex.remoteConversation.applyDiff.revertCta":"Grąžinti pakeitimus","codex.remoteConversation.closeImagePreview":"Uždaryti vaizdo peržiūrą","codex.remoteConversation.codexCloudTask":"Peržiūrite <u> „Codex“ debesies</u> užduotį","codex.remoteConversation.errorWithMessage":"Klaida: {message}","codex.remoteConversation.loadingImage":"Įkeliamas vaizdas","codex.remoteConversation.openInWeb":"Atidaryti žiniatinklyje","codex.remoteConversation.streaming":"Naudojimo pradžia","codex.remoteConversation.turnFailed":"Šios užduoties metu įvyko klaida","codex.remoteConversation.turnTab.loading":"Bandymas {number}","codex.remoteConversation.turnTab.title":"Bandymas {number}","codex.remoteConversation.userImageAttachment":"Naudotojo priedas","codex.remoteConversation.viewPreviousTurns":"Atidaryti žiniatinklyje","codex.remoteConversation.viewPreviousTurns.buttonText":"Atidaryta","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Atidaryti žiniatinklyje","codex.review.copyGitApplyCommand":"Nukopijuokite „git apply“ komandą","codex.review.copyGitApplyCommand.toast":"Nukopijuota „git apply“ komanda į iškarpinę","codex.review.diffTooLarge.description":"Šis skirtumas per didelis, kad būtų rodomas peržiūroje.","codex.review.diffTooLarge.title":"Skirtumas per didelis, kad būtų galima parodyti","codex.review.expandOrCollapseDiffButton.collapse":"Sutraukti visus skirtumus","codex.review.expandOrCollapseDiffButton.expand":"Išplėsti visus skirtumus","codex.review.expandOrCollapseDiffMenu.collapse":"Sutraukti visus skirtumus","codex.review.expandOrCollapseDiffMenu.expand":"Išplėsti visus skirtumus","codex.review.fileSearch.clear":"Valyti failo filtrą","codex.review.fileSearch.empty":"Nėra failų, atitinkančių dabartinį filtrą.","codex.review.fileSearch.label":"Filtruoti failus","codex.review.fileSearch.placeholder":"Filtruoti failus...","codex.review.filesChanged":"{num, plural, =0 {Jokių failų nepakeista} one {# failas pakeistas} few {# failai (-ų) pakeisti (-a)} many {# failai (-ų) pakeisti (-a)} other {# failai (-ų) pakeisti (-a)}}","codex.review.find.loadMore":"Įkelti daugiau atitikimų","codex.review.fullReview.hideFileTree":"Slėpti failų medį","codex.review.fullReview.showFileTree":"Rodyti failų medį","codex.review.header.moreOptions":"Peržiūrėti parinktis","codex.review.largeDiff.banner":"Aptiktas didelis skirtumas – vienu metu rodomas vienas failas.","codex.review.loadFullFiles.disable":"Neįkelti pilnų failų","codex.review.loadFullFiles.enable":"Įkelti pilnus failus","codex.review.noDiff":"Failo pakeitimai bus rodomi čia","codex.review.noDiff.gitInit.createRepository":"Sukurkite „git“ saugyklą","codex.review.noDiff.gitInit.creating":"Kuriama...","codex.review.noDiff.gitInit.error":"Nepavyko „Git init“: {message}","codex.review.noDiff.gitInit.success":"„Git“ saugykla sukurta","codex.review.noDiff.gitRepoRequired.description":"Sekti ir anuliuoti šio projekto pakeitimus","codex.review.noDiff.gitRepoRequired.title":"Sukurkite „Git“ saugyklą","codex.review.noDiff.orNoLongerAvailable":"arba naujausi skirtumai nebepasiekiami","codex.review.noDiff.reverted":"Paskutinis posūkis buvo atšauktas","codex.review.noDiff.revertedOrCommitted":"Paskutinis posūkis buvo arba atšauktas, arba patvirtintas","codex.review.refreshGitQueries":"Įkelti iš naujo","codex.review.revert.file.error":"Nepavyko sugrąžinti {path}","codex.review.revert.file.partialSuccess":"Iš dalies sugrąžinta {path}","codex.review.revert.file.success":"Sugrąžinta {path}","codex.review.revert.hunk.error":"Nepavyko sugrąžinti didelio formato elemento {hunkNumber} {path}","codex.review.revert.hunk.partialSuccess":"Iš dalies sugrąžintas didelio formato elementas {hunkNumber} {path}","codex.review.revert.hunk.success":"Sugrąžintas didelio formato elementas {hunkNumber} {path}","codex.review.revert.section.error":"Nepavyko sugrąžinti skyriaus","codex.review.revert.section.partialSuccess":"Skyrius iš dalies sugrąžintas","codex.review.revert.section.success":"Skyrius sugrąžintas","codex.review.revertDialog.cancel":"Atšaukti","codex.review.revertDialog.confirm":"Patvirtinti","codex.review.revertDialog.message":"Šis veiksmas pašalina visus šiuos pakeitimus.","codex.review.revertDialog.skip":"Daugiau nebeklausti","codex.review.revertDialog.title":"Grąžinti pakeitimus?","codex.review.richPreview.disable":"Išjungti išsamią peržiūrą","codex.review.richPreview.enable":"Įjungti išsamią peržiūrą","codex.review.source.cloud":"„Cloud“ pakeitimai","codex.review.source.local.all":"Visi atšakos pakeitimai","codex.review.source.local.lastTurn":"Paskutiniai posūkio pakeitimai","codex.review.source.local.uncommitted":"Neįsipareigoti pakeitimai","codex.review.source.worktree":"Neįvykdyti darbo medžio pakeitimai","codex.review.stageFilter.empty.staged.description":"Priimkite pakeitimus, kad juos paskelbtumėte","codex.review.stageFilter.empty.staged.title":"Jokių inscenizuotų pakeitimų","codex.review.stageFilter.empty.unstaged.description":"Kodo pakeitimai bus rodomi čia","codex.review.stageFilter.empty.unstaged.title":"Jokių neplanuotų pakeitimų","codex.review.stageFilter.staged":"Scenoje","codex.review.stageFilter.staged.count":"Scenoje · {count}","codex.review.stageFilter.unstaged":"Ne scenoje","codex.review.stageFilter.unstaged.count":"Ne scenoje · {count}","codex.review.switchToSplit":"Perjungti į padalintą skirtumų vaizdą","codex.review.switchToUnified":"Perjungti į vieningą skirtumą","codex.review.toggleDiffView":"Perjungti skirtumo rodinį","codex.review.wordDiffs.disable":"Išjungti žodžių skirtumus","codex.review.wordDiffs.enable":"Įjungti žodžių skirtumus","codex.review.wrap.disable":"Išjungti žodžių laužymą","codex.review.wrap.enable":"Įjungti žodžių laužymą","codex.section.patch.missing":"Nepavyko sukurti šios skilties pataisos.","codex.shell.collapse":"Sutraukti apvalkalą","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Nukopijuotas apvalkalo turinys","codex.shell.copy.copyTooltip":"Kopijuoti apvalkalo turinį","codex.shell.copyCommand":"Kopijuoti komandą","codex.shell.copyOutput":"Kopijuoti išvestis","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"„Bash“","codex.shell.expand":"Išplėsti apvalkalą","codex.shell.name":"„Shell“","codex.shell.noOutput":"Nėra išvesties","codex.signInFailed.message":"Prisijungti nepavyko: {rawMessage}","codex.stories.toast.show":"Rodyti atsiliepimo pranešimą","codex.stories.tooltip.basic":"Tai yra patarimas","codex.stories.tooltip.hoverMe":"Užvesk mane","codex.stories.tooltip.largerOffset":"Šio patarimo poslinkis didesnis","codex.stories.tooltip.offsetButton":"Didesnis poslinkis","codex.stories.tooltip.shortcutButton":"Su sparčiuoju klavišu","codex.stories.tooltip.withShortcut":"Perjungti terminalą","codex.taskRow.title":"Nauja gija","codex.taskRowLayout.confirm":"Patvirtinti","codex.threadFindBar.chatFilter":"Ieškokite pokalbyje","codex.threadFindBar.close":"Uždaryti rezultatą","codex.threadFindBar.diffFilter":"Ieškoti skirtumų","codex.threadFindBar.label":"Rasti gijoje","codex.threadFindBar.nextResult":"Kitas rezultatas","codex.threadFindBar.noResults":"0 rezultatų","codex.threadFindBar.placeholder":"Ieškoti gijoje...","codex.threadFindBar.placeholder.extension":"Ieškoti gijoje...","codex.threadFindBar.placeholder.review":"Ieškoti skirtumų...","codex.threadFindBar.placeholder.review.extension":"Ieškoti skirtumų...","codex.threadFindBar.previousResult":"Ankstesnis rezultatas","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# failas pakeistas} few {# failai (-ų) pakeisti (-a)} many {# failai (-ų) pakeisti (-a)} other {# failai (-ų) pakeisti (-a)}}","codex.unifiedDiff.inlineLargeFile":"Per didelis, kad būtų galima pateikti eilutėje","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Atšaukti","codex.unifiedDiff.revertPatchError":"Nepavyko sugrąžinti pakeitimų","codex.unifiedDiff.revertPatchSuccess":"Pakeitimai sugrąžinti","codex.unifiedDiff.reviewChangesSuffix":"pakeitimai","codex.unifiedDiff.reviewShort":"Peržiūrėti","codex.unifiedDiff.viewDiffTooltip":"Peržiūrėti","codex.upsellBanner.business.headline":"Norėdami gauti daugiau prieigos teisių dabar, išsiųskite užklausą savo administratoriui arba palaukite iki {resetDate}.","codex.upsellBanner.cbp.headline":"Norėdami gauti daugiau prieigos dabar, nusiųskite užklausą savo administratoriui.","codex.upsellBanner.cta.addCredits":"Pridėti kreditus","codex.upsellBanner.cta.upgradeAccount":"Naujovinti","codex.upsellBanner.cta.viewUsage":"Peržiūrėti naudojimą","codex.upsellBanner.freeOrGo.headline":"Jūsų tarifo limitas nustatomas iš naujo {resetDate}. Norėdami toliau naudoti „Codex“, šiandien atnaujinkite į Plus.","codex.upsellBanner.general.headline":"Jūsų tarifo limitas nustatomas iš naujo {resetDate}.","codex.upsellBanner.general.title":"„Codex“ žinučių limitas išnaudotas","codex.upsellBanner.plus.headline":"Jūsų tarifo limitas nustatomas iš naujo {resetDate}. Norėdami toliau naudoti „Codex“, pridėkite kreditų arba atnaujinkite į Pro jau šiandien.","codex.upsellBanner.pro.headline":"Jūsų tarifo limitas nustatomas iš naujo {resetDate}. Pridėkite kreditų, kad galėtumėte toliau naudotis „Codex“ dabar.","codex.userMessage.autoResolveSync":"Automatinis konfliktų sprendimas","codex.userMessage.commentCount":"{count, plural, one {# komentaras} few {# komentarų} many {# komentarų} other {# komentarų}}","codex.userMessage.copiedAriaLabel":"Nukopijuota","codex.userMessage.copiedTooltip":"Nukopijuota","codex.userMessage.copyAriaLabel":"Kopijuoti pranešimą","codex.userMessage.copyTooltip":"Kopijuoti","codex.userMessage.implementPlan":"Įgyvendinti planą","codex.userMessage.noContent":"(Nėra turinio)","codex.userMessage.priorConversation":"Nuorodos į ankstesnį pokalbį","codex.userMessage.reviewMode":"Peržiūros režimas","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"skirta {query}","codex.webSearch.summary.verb.completed":"Ieškota žiniatinklyje","codex.webSearch.summary.verb.inProgress":"Ieškoma žiniatinklyje","codex.windowsInstallWslBanner.dismiss":"Atmesti","codex.windowsInstallWslBanner.installWslCta":"Įjungti smėlio dėžę","codex.windowsInstallWslBanner.learnMore":"Sužinokite daugiau","codex.windowsSandboxBanner.content":"Agento režimas sistemoje „Windows“ naudoja eksperimentinę smėlio dėžę, kad apribotų prieigą prie failų sistemos ir tinklo. {sandboxLink}","codex.windowsSandboxBanner.title":"Įjungti smėlio dėžę agento režimui","codex.windowsSubDropdown.windowsSandbox":"„Windows“ smėlio dėžė","codex.windowsSubDropdown.windowsSettings":"„Windows“ nuostatos","codexUpgradeModal.body":"„Codex“ dabar veikia su „GPT-5.2-Codex“ – mūsų naujausiu tarpžinybiniu agentų kodavimo modeliu. Kodavimo srityje jis yra {link}; dar labiau patobulintas, palyginti su GPT-5.2.","codexUpgradeModal.close":"Uždaryti","codexUpgradeModal.image.altText":"„GPT-5.2-Codex“","codexUpgradeModal.smarterAndFaster":"išmanesnis ir spartusis","codexUpgradeModal.title":"„Codex“ ką tik naujovintas","codexUpgradeModal.tryNewModel":"Išbandykite „GPT-5.2-Codex“ dabar","codexUpgradeModal.useExistingModel":"Tęskite su dabartiniu modeliu","commentAttachments.numComments":"{count, plural, one {# komentaras} few {# komentarų} many {# komentarų} other {# komentarų}}","commentAttachments.removeAriaLabel":"Pašalinti komentarų priedą","common.close":"Uždaryti","composer.addContext.openFilePickerError":"Nepavyksta atidaryti failų rinkiklio","composer.addContextDropdown.ariaLabel":"Įtraukti failus ir daugiau","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Įtraukti failus ir daugiau","composer.addPhotosAndFiles":"Pridėti nuotraukų ir failų","composer.atMentionList.emptyQuery":"Įveskite tekstą, kad ieškotumėte failų","composer.atMentionList.loading":"Ieškoma...","composer.atMentionList.noResults":"Rezultatų nėra","composer.attemptsSelector.option":"{count, plural, one {# versija} few {# versijų} many {# versijų} other {# versijų}}","composer.attemptsSelector.tooltip":"Lygiagrečių bandymų, kuriuos „Codex“ atliko, skaičius","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Sustabdyti","composer.cloudFollowUp.cloud":"„Cloud“","composer.cloudFollowUp.local":"Vietinis","composer.cloudFollowUp.whereRun":"Kur turėtų būti vykdomas šis tolesnis veiksmas?","composer.cloudTaskCreationError":"Klaida kuriant debesies užduotį","composer.cloudTaskError":"Klaida kuriant užduotį","composer.contextWindow.autoCompactionTooltipLine1":"„Codex“ automatiškai suspaudžia savo kontekstą","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontekstinis langas:","composer.contextWindowUsageStatusFull":"{usage} % pilna","composer.contextWindowUsageStatusLeft":"{usage} % panaudota ({remaining} % liko)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k token panaudota","composer.customCliTooltip":"Naudojant pasirinktinį CLI vykdomąjį failą","composer.dictation.aria":"Diktuoti","composer.dictation.cancel.aria":"Stabdyti diktavimą","composer.dictation.cancel.tooltip":"Stabdyti diktavimą","composer.dictation.startError":"Nepavyko pradėti diktavimo","composer.dictation.submit.aria":"Perrašyti ir išsiųsti","composer.dictation.submit.tooltip":"Perrašyti ir išsiųsti","composer.dictation.tooltip":"Laikykite, kad diktuotumėte","composer.dictation.transcribeError":"Nepavyksta transkribuoti garso įrašo","composer.dictation.unsupported":"Diktavimas šiame įrenginyje negalimas","composer.dropOverlay.holdShift":"Laikykite {key}, kad nukristų","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Sukurti naują","composer.environmentSelector.error":"Klaida įkeliant aplinkas","composer.environmentSelector.goBack":"Atgal į kūrimo priemonę","composer.environmentSelector.title":"Pasirinkti aplinką","composer.environmentSelector.tooltip":"Pasirinkite debesies aplinką","composer.feedbackSlashCommand.title":"Atsiliepimas","composer.filePicker.selectFile":"Pasirinkti failą","composer.filePicker.selectFiles":"Pasirinkite failus","composer.followerTooltip":"Norėdami tęsti, grįžkite į langą, kuriame prasidėjo šis pokalbis.","composer.footer.branchSwitch.checkoutError":"Nepavyko perjungti atšakos: {message}","composer.footer.branchSwitch.createAndCheckout":"Sukurti ir atsiskaityti su nauja atšaka…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Įtvirtinti pakeitimus, kad būtų sukurta ir užregistruota nauja atšaka","composer.footer.branchSwitch.createBranchError":"Nepavyko sukurti atšakos: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Atšakos pavadinimas","composer.footer.branchSwitch.createDialog.branchExistsError":"Atšaka jau yra.","composer.footer.branchSwitch.createDialog.close":"Uždaryti","composer.footer.branchSwitch.createDialog.createAndCheckout":"Sukurti ir atsiskaityti","composer.footer.branchSwitch.createDialog.placeholder":"nauja atšaka","composer.footer.branchSwitch.createDialog.title":"Sukurkite ir patikrinkite atšaką","composer.footer.branchSwitch.createDialog.trailingSlashError":"Atšakos pavadinimas negali baigtis „/“.","composer.footer.branchSwitch.tooltip":"Perjungti atšaką","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Pateikite pakeitimus {fileCount, plural, one {# failas} few {# failai} many {# failai} other {# failai}}, kad būtų galima išregistruoti {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Pateikti","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"pakeitimai {fileCount, plural, one {# failas} few {# failai} many {# failai} other {# failai}}, kad būtų galima išregistruoti {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Atšaukti","composer.footer.branchSwitch.uncommittedDialog.commit":"Įsipareigoti ir perjungti atšaką…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Jūsų atlikti šių failų pakeitimai bus perrašyti atliekant išregistravimą:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Norėdami tęsti, patvirtinkite pakeitimus","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"pasirinktą atšaką","composer.footer.branchSwitch.uncommittedDialog.title":"Įvesti pakeitimus perjungti atšakai","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Neįsipareigota: {fileCount, plural, one {# failas} few {# failai} many {# failų} other {# failų}}","composer.forkSlashCommand.description":"Kurti šios gijos atšaką į vietinį arba naują darbo medį","composer.forkSlashCommand.option.local.description":"Tęsti naujoje vietinėje gijoje","composer.forkSlashCommand.option.local.title":"Kurti atšaką į vietinę","composer.forkSlashCommand.option.worktree.description":"Tęsti naujame darbo medyje","composer.forkSlashCommand.option.worktree.title":"Kurti atšaką naujame darbo medyje","composer.forkSlashCommand.title":"Padalinti","composer.ideContextIndicator.tooltipToggle":"perjungti","composer.imageInputsUnsupported":"Šis modelis nepalaiko vaizdo įvesčių. Išbandykite kitą modelį.","composer.imageUploadFailed":"Nepavyko įkelti vaizdo","composer.includeIdeContextDropdown":"Įtraukti IDE kontekstą","composer.includeIdeContextDropdown.ariaLabel":"Įtraukti IDE kontekstą","composer.localCwdDropdown.addWorkspaceRoot":"Pridėti naują projektą","composer.localCwdDropdown.noActiveRoot":"Pasirinkti naują projektą","composer.localCwdDropdown.noResults":"Nerasta aplankų","composer.localCwdDropdown.title":"Pasirinkti naują projektą","composer.localTaskError":"Pradedant pokalbį įvyko klaida","composer.mcpSlashCommand.description":"Rodyti MCP serverio būseną","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Neautentifikuota","composer.mcpStatus.authOauth":"Autentifikuota („OAuth“)","composer.mcpStatus.authToken":"Autentifikuota (API raktas)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Uždaryti","composer.mcpStatus.disabled":"Išjungta","composer.mcpStatus.emptyLabel":"Serveriai:","composer.mcpStatus.emptyValue":"Nėra sukonfigūruotų MCP serverių","composer.mcpStatus.enabled":"Įjungta","composer.mcpStatus.errorLabel":"Būsena:","composer.mcpStatus.errorValue":"Nepavyko įkelti MCP būsenos","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agentas","composer.mode.agentMode.auto.dropdownLabel":"Agentas","composer.mode.agentMode.auto.optionLabel":"Agentas","composer.mode.agentMode.changePermission":"Perjunkite režimą","composer.mode.agentMode.custom":"Pasirinktinis","composer.mode.agentMode.custom.dropdownLabel":"Pasirinktinis","composer.mode.agentMode.custom.option":"Pasirinktinis (config.toml)","composer.mode.agentMode.custom.optionLabel":"Pasirinktinis (config.toml)","composer.mode.agentMode.customInfo.cancel":"Atšaukti","composer.mode.agentMode.customInfo.cli":"Šiuos nustatymus galite koreguoti naudodami CLI arba tiesiogiai redaguodami failą.","composer.mode.agentMode.customInfo.confirm":"Naudoti pasirinktinį režimą","composer.mode.agentMode.customInfo.description":"Pasirinktinis režimas taiko patvirtinimo ir smėlio dėžės strategijas, apibrėžtas jūsų <link>config.toml</link> faile.","composer.mode.agentMode.customInfo.docs":"Daugiau apie patvirtinimo ir smėlio dėžės politikų konfigūravimą sužinokite <link>vykdymo aplinkos dokumentuose</link>.","composer.mode.agentMode.customInfo.refresh":"Bet kokie pakeitimai įsigalioja kitą kartą paleidus agentą.","composer.mode.agentMode.customInfo.title":"Kaip veikia pasirinktinis režimas","composer.mode.agentMode.fullAccess":"Agentas (visa prieiga)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agentas (visa prieiga)","composer.mode.agentMode.fullAccess.optionLabel":"Agentas (visa prieiga)","composer.mode.agentMode.fullAccessConfirm.caution":"Įjungdami visišką prieigą, būkite atsargūs. Tai žymiai padidina duomenų praradimo, nutekėjimo ar netikėto elgesio riziką.","composer.mode.agentMode.fullAccessConfirm.confirm":"Taip, vis tiek tęsti","composer.mode.agentMode.fullAccessConfirm.description":"Kai „Codex“ veikia su visomis prieigos teisėmis, jis gali redaguoti bet kurį jūsų kompiuteryje esantį failą ir vykdyti komandas tinkle be jūsų sutikimo.","composer.mode.agentMode.fullAccessConfirm.goBack":"Atšaukti","composer.mode.agentMode.fullAccessConfirm.title":"Įjungti visišką prieigą?","composer.mode.agentMode.readOnly":"Pokalbis","composer.mode.agentMode.readOnly.dropdownLabel":"Pokalbis","composer.mode.agentMode.readOnly.optionLabel":"Pokalbis","composer.mode.agentMode.tooltip":"Perjungti režimą","composer.mode.agentMode.tooltip.auto":"Skaitykite ir redaguokite failus bei vykdykite komandas.","composer.mode.agentMode.tooltip.custom":"Naudokite naujausias patvirtinimo ir „smėlio dėžės“ politikas, apibrėžtas faile config.toml.","composer.mode.agentMode.tooltip.fullAccess":"„Codex“ gali redaguoti failus už projekto ribų ir vykdyti komandas naudodamasi tinklo prieiga. Būkite atsargūs naudodami.","composer.mode.agentMode.tooltip.readOnly":"Reikalingas patvirtinimas redaguoti failus ir vykdyti komandas.","composer.mode.cloud.tooltip":"Darbas debesies aplinkoje","composer.mode.contactAdmin":"Norėdami gauti daugiau prieigos teisių, susisiekite su administratoriumi","composer.mode.local":"Vietinis","composer.mode.local.learnMore":"Sužinokite daugiau","composer.mode.local.model.custom":"Pasirinktinis","composer.mode.local.model.loadingModel":"Įkeliamas modelis","composer.mode.local.model.selecrReasoningEffort":"Pasirinkti samprotavimą","composer.mode.local.model.selectModel":"Pasirinkti modelį","composer.mode.local.model.tooltip":"Pasirinkti modelį","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Didelis","composer.mode.local.reasoning.low.label":"Mažas","composer.mode.local.reasoning.medium.label":"Vidutinis","composer.mode.local.reasoning.minimal.label":"Minimalus","composer.mode.local.reasoning.none.label":"Nėra","composer.mode.local.reasoning.xhigh.label":"Itin didelis","composer.mode.localRemoteWhereRun":"Pasirinkite, kur vykdyti užduotį","composer.mode.newTask.header":"Tęsti","composer.mode.rateLimit.day":"{days} d.","composer.mode.rateLimit.heading":"Liko tarifų limitai","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} limitas:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {savaitinis limitas} few {{weeks} savaičių limitas} many {{weeks} savaičių limitas} other {{weeks} savaičių limitas}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Kartą per savaitę} few {{weeks} savaitė} many {{weeks} savaitė} other {{weeks} savaitė}}","composer.mode.remote.connectToCloud":"Prisijungti prie „Codex“ žiniatinklio","composer.mode.remote.connectToCloudDisabledTooltip":"Sukurti aplinką per „Codex web“, kad būtų galima siųsti užduotis į debesį","composer.mode.remote.selectEnvironment":"Pasirinkti aplinką","composer.mode.remote.sendToCloud":"Siųsti į debesį","composer.mode.remote.setupViaWeb":"Nustatyti aplinką per „Codex web“","composer.mode.runInCloud":"„Cloud“","composer.mode.runInCloudWithEnvironment":"„Cloud“ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Darbas debesies aplinkoje","composer.mode.segmentedToggle.local.tooltip":"Dirbkite savo vietiniame projekte","composer.mode.segmentedToggle.worktree.tooltip":"Darbas lygiagrečiame darbo medyje","composer.mode.upgradeToPlus":"Naujovinti į „Plus“","composer.mode.upgradeToPro":"Naujovinti į planą „Pro“","composer.mode.workLocally":"Vietinis projektas","composer.mode.workLocally.currentBranchFallback":"jūsų atšaka","composer.mode.workLocally.tooltip":"Darbas {branchName}","composer.mode.worktree":"Naujas darbo medis","composer.mode.worktree.submoduleWarning":"Šioje saugykloje yra „git“ submodulių. Darbo medžio kūrimas gali nepavykti.","composer.mode.worktree.tooltip":"Sukurkite savo vietinio projekto kopiją, kad galėtumėte dirbti lygiagrečiai","composer.mode.worktreeSegment":"Darbo medis","composer.modelChangeDuringConversationWarning.toast":"Modelių keitimas per pokalbį pablogins našumą.","composer.newChat.heading.browser":"Ką turėtume programuoti?","composer.permissionsDropdown.custom.label":"Pasirinktinis (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Pasirinktinis (config.toml)","composer.permissionsDropdown.default.label":"Numatytieji leidimai","composer.permissionsDropdown.default.optionLabel":"Numatytieji leidimai","composer.permissionsDropdown.fullAccess.disabled":"Visos prieigos neleidžia requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Pakeisti leidimus","composer.personalitySlashCommand.description.friendly":"Šiltas, bendradarbiaujantis ir paslaugus","composer.personalitySlashCommand.description.pragmatic":"Glaustas, orientuotas į užduotį ir tiesus","composer.personalitySlashCommand.label.friendly":"Draugiškas","composer.personalitySlashCommand.label.pragmatic":"Pragmatiškas","composer.personalitySlashCommand.notApplicableSuffix":"(Netaikoma dabartiniam modeliui)","composer.personalitySlashCommand.title":"Asmenybė","composer.placeholder.cloudFollowUp.directFollowUp":"Šios debesies užduoties tolesni veiksmai","composer.placeholder.cloudFollowUp.local":"Sukurkite naują vietinę užduotį, kuri nurodo šią debesies užduotį","composer.placeholder.cloudFollowUp.workingTree":"Sukurkite naują debesies užduotį, kurioje būtų jūsų dabartinis kodas ir kuri nurodytų šią užduotį","composer.placeholder.localFollowUp.cloud":"Tolesni veiksmai naujoje debesies užduotyje","composer.placeholder.localFollowUp.locally":"Paprašykite tolesnių pakeitimų","composer.placeholder.newTask.cloud":"Paprašykite „Codex“ atlikti bet kokius veiksmus debesyje","composer.placeholder.newTask.doAnything":"Paprašykite „Codex“ ką nors padaryti","composer.placeholder.newTask.locally":"Klauskite „Codex“ bet ko: @, jei norite pridėti failus, /, jei norite komandų","composer.planModeDropdown":"Plano režimas","composer.planModeDropdown.ariaLabel":"Plano režimas","composer.planModeIndicator":"Planas","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"Shift+Tab","composer.planModeIndicator.tooltipText":"perjungti","composer.planModeIndicator.tooltipToggle":"perjungti","composer.planSlashCommand.disableDescription":"Išjungti planavimo režimą","composer.planSlashCommand.enableDescription":"Įjungti planavimo režimą","composer.planSlashCommand.title":"Plano režimas","composer.priorContext.label":"Ankstesnis kontekstas","composer.priorContext.removeAriaLabel":"Pašalinti ankstesnį kontekstą","composer.queuedMessage.delete":"Šalinti eilėje esantį pranešimą","composer.queuedMessage.edit":"Redaguoti pranešimą","composer.queuedMessage.more":"Eilėje esančių pranešimų veiksmai","composer.queuedMessage.sendNow":"Siųsti dabar","composer.queuedMessage.turnOff":"Išjungti eilę","composer.reasoningEffort.local.reasoning.tooltip":"Pasirinkite samprotavimo pastangas","composer.remote.branchStartingPoint":"Nuo kurios atšakos turėtų prasidėti ši užduotis?","composer.remote.branchesSectionHeading":"Filialai","composer.remote.currentEditsSuffix.followUp":"Sukurkite naują užduotį, kuri nurodo šią debesies užduotį.","composer.remote.currentEditsSuffix.useLocal":"su vietinio kodo pakeitimais","composer.remote.directFollowUp":"Nenaudokite vietinių pakeitimų","composer.remote.errorLoadingBranches":"Klaida kraunant šakas","composer.remote.fromBranch":"Iš {branch}","composer.remote.fromCurrentBranch":"Iš {branch} (dabartinis)","composer.remote.loadingMoreBranches":"Įkeliama…","composer.remote.localFileStateHeading":"Vietinio failo būsena","composer.remote.localWorkingTree":"Naudokite vietinius pakeitimus","composer.remote.startingPoint":"Nuo kokio kodo reikėtų pradėti šią užduotį?","composer.reviewMode.branches.error":"Nepavyko įkelti atšakų","composer.reviewMode.branches.retry":"Bandyti iš naujo","composer.reviewMode.gitRoot.error":"„Git“ šaknis nerasta","composer.reviewMode.option.baseBranch.simple":"Peržiūra pagal bazinę šaką","composer.reviewMode.option.unstaged.simple":"Peržiūrėti nepatvirtintus pakeitimus","composer.reviewMode.quickReviewError":"Nepavyko pradėti kodo peržiūros.","composer.reviewMode.title":"Kodo peržiūra","composer.sandboxButton.unlock.disabled.tooltip":"Visos prieigos neleidžia requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"„Codex“ gali naudoti eksperimentinę „smėlio dėžę“ sistemoje „Windows“, kad apribotų prieigą prie failų sistemos ir tinklo. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Įjungti „Windows“ smėlio dėžę?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Naudoti tik skaitymui","composer.searchEnvironments":"Ieškoti aplinkų","composer.skillMentionList.app":"Programėlė","composer.skillMentionList.loading":"Įkeliami įgūdžiai...","composer.skillMentionList.noResults":"Įgūdžių nerasta","composer.slashCommands.cloudEnvironment.title":"Debesies aplinka","composer.slashCommands.dialogLabel":"Pasvirojo brūkšnio komandų meniu","composer.slashCommands.dialogTitle":"Pasvirojo brūkšnio komandos","composer.slashCommands.disabledTooltip":"Pradėkite naują pokalbį, kad galėtumėte naudoti pasvirojo brūkšnio komandas","composer.slashCommands.inputPlaceholder":"Ieškoti","composer.slashCommands.noResults":"Nėra komandų","composer.slashCommands.skillsGroup":"Įgūdžiai","composer.slashCommands.tooltip":"Naršyti pasvirojo brūkšnio komandas","composer.status.close":"Uždaryti","composer.statusPlain.alertLabel":"Įspėjimas:","composer.statusPlain.alertValue":"{remaining}% liko {window}","composer.statusPlain.contextLabel":"Kontekstas:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} naudota / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% liko","composer.statusPlain.heading":"Būsena","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limitas:","composer.statusPlain.rateLimitDays":"{count}d limitas","composer.statusPlain.rateLimitFallbackLabel":"Tarifo limitas:","composer.statusPlain.rateLimitHours":"{count}h limitas","composer.statusPlain.rateLimitLabelBase":"Tarifo limitas","composer.statusPlain.rateLimitMinutes":"{count}m limitas","composer.statusPlain.rateLimitPercent":"{remaining}% liko","composer.statusPlain.rateLimitReset":"iš naujo nustato {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"iš naujo nustatymo laikas nepasiekiamas","composer.statusPlain.rateLimitUnavailable":"Nepasiekiamas","composer.statusPlain.sessionCopiedAriaLabel":"Nukopijuotas seanso ID","composer.statusPlain.sessionCopiedTooltip":"Nukopijuotas ID","composer.statusPlain.sessionCopyAriaLabel":"Kopijuoti seanso ID","composer.statusPlain.sessionCopyTooltip":"Kopijuoti ID","composer.statusPlain.sessionLabel":"Seansas:","composer.statusSlashCommand.description":"Rodyti gijos ID, konteksto naudojimą ir tarifo limitus","composer.statusSlashCommand.title":"Būsena","composer.submit.blockedDialogOk":"Gerai","composer.submit.blockedDialogTitle":"Nepavyko išsiųsti pranešimo","composer.submit.emptyMessage":"Įveskite pranešimą, kad pradėtumėte","composer.submit.imageInputsUnsupported":"Norėdami išsiųsti šį pranešimą, pašalinkite vaizdus arba pakeiskite modelį.","composer.submit.loadingLocalConfig":"Įkeliama…","composer.submit.missingCloudConfig":"Turite pasirinkti debesies aplinką","composer.submit.missingCloudTurn":"Negalima tęsti šios užduoties","composer.submit.noWorkspace":"Pridėti projektą, kad būtų galima naudoti „Codex“","composer.submit.waitForImageUploads":"Vaizdai įkeliami…","composer.submitButtonTooltip.send":"Siųsti","composer.submitButtonTooltip.stop":"Sustabdyti","composer.worktreeEnvironment.create":"Sukurti vietinę aplinką","composer.worktreeEnvironment.default":"Numatytoji aplinka","composer.worktreeEnvironment.error":"Klaida įkeliant aplinkas","composer.worktreeEnvironment.loading":"Įkeliamos aplinkos...","composer.worktreeEnvironment.title":"Vietinė aplinka","composer.worktreeEnvironment.tooltip":"Pasirinkite vietinę aplinką","composer.worktreeSetupFailed":"Nepavyko nustatyti darbo medžio. Patikrinkite .codex/environments, ar nėra sąrankos scenarijaus.","compoundButton.secondaryAction":"Antrinis veiksmas","copyButton.copied":"Nukopijuota","copyButton.copiedAriaLabel":"Nukopijuota","copyButton.copy":"Kopijuoti","copyButton.copyAriaLabel":"Kopijuoti","copyButton.copyCode":"Kopijuoti kodą","diff.actionButton.revertFile":"Sugrąžinti failą","diff.actionButton.revertHunk":"Grąžinti","diff.actionButton.revertSection":"Sugrąžinti viską","diff.actionButton.revertSectionLabel":"Sugrąžinti viską","diff.actionButton.stageFile":"Failas scenoje","diff.actionButton.stageHunk":"Scena","diff.actionButton.stageSection":"Visi scenoje","diff.actionButton.stageSectionLabel":"Visi scenoje","diff.actionButton.unstageFile":"Failas ne scenoje","diff.actionButton.unstageHunk":"Ne scenoje","diff.actionButton.unstageSection":"Visi ne scenoje","diff.actionButton.unstageSectionLabel":"Visi ne scenoje","diff.fileHeader.toggle":"Perjungti failų skirtumą","electron.onboarding.login.apikey.cancel":"Atšaukti","electron.onboarding.login.apikey.continue":"Tęsti","electron.onboarding.login.apikey.label":"„OpenAI“ API raktas","electron.onboarding.login.apikey.open":"Įvesti API raktą","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Atšaukti prisijungimą","electron.onboarding.login.chatgpt.continue":"Tęsti su ChatGPT","electron.onboarding.login.devbox":"Prisijunkite prie nuotolinio SSH","electron.onboarding.login.error":"Prisijungti nepavyko: {rawMessage}","electron.onboarding.login.snake.start":"Žaiskite Snake","electron.onboarding.login.sshConfig.cancel":"Atšaukti","electron.onboarding.login.sshConfig.continue":"Tęsti","electron.onboarding.login.sshConfig.hostnameLabel":"SSH pagrindinio kompiuterio pavadinimas","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Geriausias būdas kurti su agentais","electron.onboarding.login.title":"Sveikiname prisijungus prie Codex","electron.onboarding.shell.title":"„Codex“","electron.onboarding.welcome.continue":"Tęsti","electron.onboarding.welcome.doubleLimits.description":"„Codex“ progr. paleidimo proga iki balandžio 2 d. taikomi 2 kartus didesni tarifų apribojimai.","electron.onboarding.welcome.freego.description":"„Codex“ nemokamai įtrauktas į jūsų planą iki kovo 2 d. – pradėkime kurti kartu.","electron.onboarding.welcome.new.title.anon":"Sveiki!","electron.onboarding.workspace.continue":"Tęsti","electron.onboarding.workspace.empty":"Pridėkite projektą, kad galėtumėte tęsti.","electron.onboarding.workspace.listLabel":"Galimi projektai","electron.onboarding.workspace.loading":"Įkeliami projektai","electron.onboarding.workspace.openFolder":"Pridėti projektą","electron.onboarding.workspace.selectAll":"Pasirinkti visus","electron.onboarding.workspace.skip":"Praleisti","electron.onboarding.workspace.skip.error":"Nepavyko sukurti naujo projekto: {message}","electron.onboarding.workspace.skip.error.unknown":"Nežinoma klaida","electron.onboarding.workspace.skipping":"Kuriamas naujas projektas…","electron.onboarding.workspace.subtitle":"„Codex“ galės redaguoti failus ir vykdyti komandas pasirinktuose aplankuose.","electron.onboarding.workspace.title":"Pasirinkti projektą","errorPage.list.checkSettings":"Pabandykite atnaujinti IDE nustatymus","errorPage.list.configToml":"Patikrinkite, ar jūsų config.toml faile nėra neteisingų nustatymų","errorPage.list.downloadExtension":"Pabandykite atsisiųsti kitą plėtinio versiją","errorPage.list.runInWsl":"Jei matote suderinamumo problemų, patikrinkite nustatymus, kad išjungtumėte veikimą WSL.","execApprovalRequest.menu.runAlways":"Taip, ir daugiau neklauskite šio seanso metu","execApprovalRequest.menu.runAlwaysWithAmendment":"Taip, ir daugiau neklausti komandų, kurios prasideda {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Taip, ir daugiau neklausti komandų, kurios prasideda","execApprovalRequest.menu.runOnce":"Taip","execApprovalRequest.prompt":"Ar norite vykdyti šią komandą?","execApprovalRequest.reject":"Ne","execFooter.exitCode":"Išėjimo kodas {code}","execFooter.exitCode.unknown":"nežinomas","execFooter.success":"Sėkmingai","feedback.dialog.category.badResult":"Blogas rezultatas","feedback.dialog.category.bug":"Klaida","feedback.dialog.category.goodResult":"Geras rezultatas","feedback.dialog.category.other":"Kita","feedback.dialog.descriptionPlaceholder":"Aprašykite problemą čia","feedback.dialog.dismiss":"Atmesti","feedback.dialog.includeLogsLabel":"Įtraukti dabartinius „Codex“ seanso žurnalus","feedback.dialog.submit":"Pateikti","feedback.dialog.submitError":"Nepavyko pateikti jūsų atsiliepimo. Bandykite dar kartą po akimirkos.","feedback.dialog.title":"Atsiliepimas","feedback.dialog.uploadedMessage.existingIssue":"esama atvira problema","feedback.dialog.uploadedMessage.openIssue":"atidaryti „GitHub“ problemą","feedback.dialog.uploadedMessage.withThread":"Atsiliepimas įkeltas. Jei problema išlieka, prašome{openIssueLink} arba paminėkite gijos ID {existingIssueLink}:","feedback.dialog.uploadedTitle":"Atsiliepimas įkeltas","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Pašalinti {filename}","header.back":"Atgal","header.recentChats":"Užduotys","header.recentTasks.seeAll":"Žiūrėti viską ({total})","home.header.getPlus":"Prenumeruoti „Plus“","home.hero.letsBuild":"Pastatykime","homePage.mainContent":"Pagrindinis turinys","imageAttachment.defaultName":"Vaizdas","imageAttachment.preview.close":"Uždaryti vaizdo peržiūrą","imageAttachment.removeAriaLabel":"Pašalinti {filename}","implementPlanRequest.option.implement":"Taip, įgyvendinti šį planą","implementPlanRequest.prompt":"Įgyvendinti šį planą?","inbox.archived.deleteError":"Nepavyko pašalinti archyvuoto paleidimo","inbox.archived.deleteRun":"Pašalinti suarchyvuotą paleidimą","inbox.archived.deleteSuccess":"Pašalinta archyvuota gija. Žiūrėkite <settingsLink>Suarchyvuotos gijos</settingsLink>.","inbox.archived.inlineLabel.auto":"Ši gija buvo automatiškai archyvuota. <learnMoreLink>Sužinokite daugiau</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ši gija buvo archyvuota.","inbox.archived.noMessageFound":"Nerasta jokio pranešimo","inbox.automations.createError":"Nepavyko sukurti automatizavimo","inbox.automations.deleteConfirm.cancel":"Atšaukti","inbox.automations.deleteConfirm.confirm":"Šalinti automatiką","inbox.automations.deleteConfirm.description":"Tai visam laikui pašalins automatizavimą ir sustabdys visus būsimus vykdymus.","inbox.automations.deleteConfirm.title":"Šalinti {name}?","inbox.automations.deleteError":"Nepavyko ištrinti automatizavimo","inbox.automations.editTooltip":"Redaguoti automatizavimą","inbox.automations.inProgress":"Vykdoma","inbox.automations.new":"Naujas","inbox.automations.newToolbar":"Naujas automatizavimas","inbox.automations.pauseTooltip":"Pristabdyti automatizavimą","inbox.automations.resumeTooltip":"Atnaujinti automatizavimą","inbox.automations.startingNow":"Paleidžiama dabar","inbox.automations.startsIn":"Paleidžiama {startTime}","inbox.automations.status.active":"Aktyvus","inbox.automations.status.paused":"Pristabdyta","inbox.automations.status.runs":"{count} veikia","inbox.automations.status.started":"Pradėta {date}","inbox.automations.updateError":"Nepavyko atnaujinti automatikos","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Visi","inbox.filter.ariaLabel":"Filtruoti gautųjų elementus","inbox.filter.unread":"Neskaityti","inbox.list.archived":"Suarchyvuota","inbox.list.inProgress":"Vykdoma","inbox.list.recent":"Pabaigta","inbox.list.upNext":"Suplanuota","inbox.mode.automations":"Automatikos","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Aprašymas nepateiktas","inbox.openThread":"Atidaryti giją","inbox.rightPanel.emptySubtitle":"Automatizuokite darbą nustatydami suplanuotas užduotis","inbox.rightPanel.emptySubtitle.learnMore":"Automatizuokite darbą nustatydami suplanuotas gijas. <link>Sužinokite daugiau</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktyvi automatika} few {# aktyvios automatikos} many {# aktyvių automatikų} other {# aktyvių automatikų}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nėra neskaitytų automatikų","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# neskaityta automatika} few {# neskaitytos automatikos} many {# neskaitytų automatikų} other {# neskaitytų automatikų}}","inbox.rightPanel.emptyTitle":"Nepasirinktas joks elementas","inbox.rightPanel.noThread":"Šiam elementui nėra gijos","inbox.rightPanel.quickStart.header":"Pradėkite nuo šablono","inbox.untitled":"Gautųjų elementas be pavadinimo","loadingPage.documentationLink":"dokumentas","loadingPage.errorDescription":"„Codex“ užstrigo dėl šios klaidos:","loadingPage.errorDescription.documentation":"Spustelėkite „Įkelti iš naujo“, kad paleistumėte „Codex“ plėtinį iš naujo, arba apsilankykite mūsų {documentationLink}, jei reikia papildomos pagalbos. ","loadingPage.errorSignal":"Keletas dalykų, kuriuos verta išbandyti:","loadingPage.errorTitle":"Įvyko klaida","loadingPage.openConfigToml":"Atidaryti Config.toml","loadingPage.reload":"Įkelti iš naujo","localConversation.contextCompacted":"Kontekstas automatiškai sutankintas","localConversation.contextCompacting":"Automatiškai sutankina kontekstą","localConversation.forkedFromConversation":"Sukurta atšaka {threadTitle}","localConversation.merge.autoResolve.failed":"Nepavyko pateikti automatinio sprendimo užklausos: {error}","localConversation.merge.autoResolve.sent":"Automatinio sprendimo užklausa išsiųsta","localConversation.merge.autoResolveMerge.missingConversation":"Nepavyksta automatiškai išspręsti be aktyvaus pokalbio.","localConversation.merge.autoResolveMerge.request":"Automatiškai išspręsti suliejimo konfliktus","localConversation.modelChanged":"Modelis pakeistas iš {fromModel} į {toModel}.","localConversation.modelChanged.warning.line1":"Modelių keitimas per pokalbį pablogins našumą.","localConversation.modelChanged.warning.line2":"Kontekstas gali automatiškai suspausti.","localConversation.moveThread.createBranch.label":"Sukurti atšaką","localConversation.moveToLocal.disabled.loading":"Įkeliama…","localConversation.moveToLocal.modal.continue":"Tęsti","localConversation.moveToLocal.modal.destinationLabel":"Perkelti į","localConversation.moveToLocal.modal.retry":"Bandyti iš naujo","localConversation.moveToWorktree.modal.back":"Atgal","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Atšaka jau yra.","localConversation.moveToWorktree.modal.branchesError":"Nepavyko įkelti atšakų","localConversation.moveToWorktree.modal.branchesLoading":"Įkeliamos atšakos...","localConversation.moveToWorktree.modal.branchesRetry":"Bandyti iš naujo","localConversation.moveToWorktree.modal.continue":"Tęsti","localConversation.moveToWorktree.modal.retry":"Bandyti iš naujo","localConversation.moveToWorktree.modal.trailingSlashError":"Atšakos pavadinimas negali baigtis „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nauja atšaka","localConversation.personalityChanged":"Perjungta į {personality} asmenybę","localConversation.planSummary.collapse":"Sutraukti plano santrauką","localConversation.planSummary.collapseTooltip":"Sutraukti","localConversation.planSummary.download":"Atsisiųsti planą","localConversation.planSummary.expand":"Išplėsti plano santrauką","localConversation.planSummary.expandTooltip":"Išplėsti","localConversation.planSummary.openInNewWindow":"Atidaryta","localConversation.planSummary.openInNewWindow.tooltip":"Atidaryti naujame lange","localConversation.planSummary.title":"Planas","localConversation.planSummary.titleWriting":"Rašymo planas","localConversation.planSummary.viewPlan":"Išplėsti planą","localConversation.remoteTaskCreated":"Sukurta {taskLink} „Codex Cloud“","localConversation.remoteTaskCreated.task":"užduotis","localConversation.scrollToBottomButton":"Slinkti į apačią","localConversation.sync.buttonLabel":"Perduoti į vietinį","localConversation.sync.buttonLabel.tooltip":"Perduokite pakeitimus tarp šio darbo medžio ir vietinės kasos.","localConversation.sync.modal.loading.title":"Perduodami pakeitimai…","localConversation.sync.modal.noChanges":"Jokių pakeitimų","localConversation.syncSetup.branchAriaLabel":"Atšakos pavadinimas","localConversation.syncSetup.branchName":"Atšakos pavadinimas","localConversation.syncSetup.branchPlaceholder.existing":"Pasirinkti esamą atšaką","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Įkeliamos atšakos...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Jau išsiregistravo","localConversation.syncSetup.checkoutClean":"Dabar įjungta {branchName}","localConversation.syncSetup.checkoutDirty":"Dabar įjungta {branchName} su nepateiktais keitimais","localConversation.syncSetup.checkoutError":"Nepavyko perduoti atšakos: {message}","localConversation.syncSetup.checkoutLabel":"Patikrinkite vietoje dabar","localConversation.syncSetup.checkoutOnLocal":"Perduoti į vietinį","localConversation.syncSetup.checkoutPending":"Tikrinama vietinė būsena…","localConversation.syncSetup.checkoutUnavailable":"Vietinė darbo vieta nepasiekiama","localConversation.syncSetup.checkoutUnknown":"Vietinė atšaka nepasiekiama","localConversation.syncSetup.continue":"Tęsti","localConversation.syncSetup.createBranchError":"Nepavyko nustatyti perdavimo atšakos: {message}","localConversation.syncSetup.error":"Kažkas nepavyko: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nepavyko padaryti darbo medžio momentinės kopijos. Bandykite dar kartą apdoroti iš naujo.","localConversation.syncSetup.mode.ariaLabel":"Pasirinkti atšakos režimą","localConversation.syncSetup.mode.existing":"Esama atšaka","localConversation.syncSetup.mode.new":"Nauja atšaka","localConversation.syncSetup.noBranches":"Atšakų nerasta","localConversation.syncSetup.overwriteError":"Atšaka sukurta, bet dar nėra iki galo perduota. Prieš apdorojant vietoje, perduokite rankiniu būdu.","localConversation.syncSetup.setPrefix":"Nustatyti priešdėlį","localConversation.syncSetup.subtitle":"Testuokite ir redaguokite darbo medžio pakeitimus vietoje. <a>Sužinokite daugiau</a>","localConversation.syncSetup.success.checkedOut":"Atšaka buvo sukurta ir užregistruota vietoje","localConversation.syncSetup.success.notCheckedOut":"Sukurta atšaka","localConversation.syncSetup.title":"Perduoti į vietinę atšaką","localConversation.syncWorktreeError.branchAriaLabel":"Atšakos pavadinimas","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Pasirinkite atšaką, kuriai norite perduoti, tada bandykite dar kartą įkelti pakeitimus.","localConversation.syncWorktreeError.branchSetup.title":"Atnaujinti filialą","localConversation.syncWorktreeError.branchUpdate.cta":"Atnaujinti ir bandyti iš naujo","localConversation.syncWorktreeError.branchUpdate.error":"Nepavyko atnaujinti atšakos: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Kažkas nepavyko: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Atšaka neužfiksuota jokiame darbo medyje.","localConversation.syncWorktreeV2.applyUncommitted":"Taikyti","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Norėdami pritaikyti nepatvirtintus pakeitimus, turite patikrinti atšaką vietoje","localConversation.syncWorktreeV2.branches.empty":"Atšakų nerasta","localConversation.syncWorktreeV2.branches.loading":"Įkeliamos atšakos...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Pakeisti perdavimo atšaką","localConversation.syncWorktreeV2.changeBranch.error":"Nepavyko pakeisti perdavimo atšakos: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Nepavyko taikyti","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Nepavyko perrašyti darbo medžio","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Nepavyko perrašyti vietoje","localConversation.syncWorktreeV2.commandError.back":"Atgal","localConversation.syncWorktreeV2.commandError.body":"Perduodant nepavyko įvykdyti „git“ komandos. Peržiūrėkite išvestį ir bandykite dar kartą.","localConversation.syncWorktreeV2.commandError.retry":"Bandyti iš naujo","localConversation.syncWorktreeV2.description":"Perduoti pakeitimus tarp vietinio ir šio darbo medžio <a>Sužinokite daugiau</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Pasirinkti perdavimo kryptį","localConversation.syncWorktreeV2.error.generic":"Perduodant įvyko klaida. Bandykite dar kartą.","localConversation.syncWorktreeV2.localBranchLabel":"Vietinis","localConversation.syncWorktreeV2.noChanges":"Pakeitimų skaičiavimas","localConversation.syncWorktreeV2.noChanges.summary":"Jokių pakeitimų","localConversation.syncWorktreeV2.overwrite.local":"Perrašyti vietoje","localConversation.syncWorktreeV2.overwrite.worktree":"Perrašyti darbo medį","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nepavyko pritaikyti pakeitimų","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nepavyko perrašyti vietinių pakeitimų","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nepavyko perrašyti darbo medžio pakeitimų","localConversation.syncWorktreeV2.partial.appliedLabel":"Pritaikyta","localConversation.syncWorktreeV2.partial.back":"Atgal","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Išspręskite konfliktus ir bandykite dar kartą.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konfliktai","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# failas} few {# failų} many {# failų} other {# failų}}","localConversation.syncWorktreeV2.partial.retry":"Bandyti iš naujo","localConversation.syncWorktreeV2.partial.skippedLabel":"Praleista","localConversation.syncWorktreeV2.stateFailed.generic":"Įkeliant perduodamus darbo medžio pakeitimus, įvyko klaida. Bandykite dar kartą.","localConversation.syncWorktreeV2.stateFailed.title":"Nepavyko įkelti darbo medžio pakeitimų","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nepavyko įkelti darbo medžio pakeitimų.","localConversation.syncWorktreeV2.statusError.retry":"Bandyti iš naujo","localConversation.syncWorktreeV2.statusError.title":"Nepavyko įkelti vietinės atšakos pakeitimų","localConversation.syncWorktreeV2.statusError.unknown":"Atšakos būsena šiuo metu nepasiekiama. Bandykite dar kartą.","localConversation.syncWorktreeV2.success.apply":"Pakeitimai sėkmingai pritaikyti","localConversation.syncWorktreeV2.success.overwrite":"Perdavimas sėkmingas","localConversation.syncWorktreeV2.title":"Perduoti pakeitimus","localConversation.syncWorktreeV2.worktreeLabel":"Darbo medis","localConversation.userInputRequest.inProgress":"Klausia {count, plural, one {klausimas} few {klausimai} many {klausimų} other {klausimų}}","localConversation.userInputRequest.noAnswer":"Atsakymas nepateiktas","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Paklausta","localConversation.userInputRequest.summary.count":"{count, plural, one {# klausimas} few {# klausimai} many {# klausimų} other {# klausimų}}","localConversation.workedFor":"Dirbo {time}","localConversation.worktreeBranchSetup.action.create":"Kurti","localConversation.worktreeBranchSetup.branchAriaLabel":"Atšakos pavadinimas","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Sukurti naują šaką","localConversation.worktreeBranchSetup.checkoutDisabled":"Ši atšaka jau užregistruota {location}","localConversation.worktreeBranchSetup.checkoutError":"Nepavyko perduoti atšakos: {message}","localConversation.worktreeBranchSetup.createBranchError":"Nepavyko nustatyti atšakos: {message}","localConversation.worktreeBranchSetup.error":"Kažkas nepavyko: {message}","localConversation.worktreeBranchSetup.subtitle":"Sukurkite atšaką, skirtą pakeitimams patvirtinti, įkelti ir sukurti PR iš šio darbo medžio. <a>Sužinokite daugiau</a>","localConversation.worktreeBranchSetup.title":"Dirbti čia","localConversationPage.addWorktreeToSidebar.tooltip":"Įrašyti kaip projektą, kad galėtumėte pradėti naujas gijas iš šio darbo medžio","localConversationPage.addWorktreeToSidebarError":"Nepavyko pridėti projekto","localConversationPage.commitAndCreatePrModal.errorTitle":"Nepavyko patvirtinti ir sukurti PR","localConversationPage.commitAndCreatePrModal.successTitle":"Pateiktas ir sukurtas PR","localConversationPage.commitAndPushModal.errorTitle":"Nepavyko pateikti ir spausti","localConversationPage.commitAndPushModal.successTitle":"Pateikti ir stumti pokyčius","localConversationPage.commitCreatePr.open":"Atidaryti ištraukimo užklausą","localConversationPage.commitCreatePr.successTitle":"Sukurtas PR su jūsų naujausiais pakeitimais","localConversationPage.createBranchButtonLabel":"Atšaka čia","localConversationPage.createPrModal.baseBranch":"Bazė","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Sukurti „PR“","localConversationPage.createPrModal.createDescription":"Atidarykite ištraukimo užklausą dėl naujausių pakeitimų.","localConversationPage.createPrModal.errorTitle":"Ištraukimo užklausa nepavyko","localConversationPage.createPrModal.headBranch":"Antraštė","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Atidaryti PR","localConversationPage.createPrModal.successTitle":"Sukurtas „pull request“","localConversationPage.createPrModal.title":"Sukurti ištraukimo užklausą","localConversationPage.createPrModal.viewDescription":"Šiai atšakai jau yra užklausa dėl ištraukimo.","localConversationPage.createPrModal.viewTitle":"Ištraukimo užklausa paruošta","localConversationPage.createPullRequestAuthGh":"Autentifikuokite „GitHub“ komandinę eilutę: paleiskite „gh auth login“","localConversationPage.createPullRequestBranchMissing":"Atšakos informacija neprieinama","localConversationPage.createPullRequestButtonLabel":"Sukurti „PR“","localConversationPage.createPullRequestButtonLabel.loading":"Kuriama PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Numatytoji filialo informacija nepasiekiama","localConversationPage.createPullRequestError":"Nepavyko sukurti „pull request“","localConversationPage.createPullRequestExistingPullRequest":"Šiai atšakai jau yra užklausa dėl ištraukimo","localConversationPage.createPullRequestGhStatusMissing":"Įkeliama „GitHub“ komandinės eilutės būsena…","localConversationPage.createPullRequestInstallGh":"Įdiekite „GitHub CLI“ (gh), kad sukurtumėte PR","localConversationPage.createPullRequestNoRepo":"Nerasta „git“ saugyklos","localConversationPage.createPullRequestPushStatusMissing":"Įkeliama stūmimo būsena...","localConversationPage.createPullRequestSetUpstream":"Prieš kurdami PR, paspauskite šią atšaką","localConversationPage.createPullRequestSuccessToast":"Sukurtas „pull request“","localConversationPage.createPullRequestSwitchBranch":"Prieš kurdami PR, patikrinkite funkcijų atšaką","localConversationPage.error.render":"Klaida pateikiant vietinį pokalbį","localConversationPage.error.toast":"Pasikalbėjimas nerastas","localConversationPage.forcePushError":"Nepavyko priverstinai paspausti","localConversationPage.generatePullRequestMessageError":"Nepavyko sugeneruoti ištraukimo užklausos pavadinimo ir teksto","localConversationPage.generatePullRequestMessageFailed":"Nepavyko sugeneruoti ištraukimo užklausos pavadinimo ir teksto.","localConversationPage.gitActionResult.branch":"Filialas","localConversationPage.gitActionResult.cancel":"Atšaukti","localConversationPage.gitActionResult.close":"Uždaryti","localConversationPage.gitActionResult.tryAgain":"Bandyti dar kartą","localConversationPage.gitActions":"„Git“ veiksmai","localConversationPage.newChat":"Naujas pokalbis","localConversationPage.openInTarget":"Atverti su","localConversationPage.openPrimaryTarget":"Atidaryta","localConversationPage.planItemsCompleted":"{completedItems} iš {totalItems, plural, one {# užduotis baigta} few {# užduotys baigtos} many {# užduočių baigta} other {# užduočių baigta}}","localConversationPage.pushAuthError":"Nepavyko spausti: reikalinga autentifikacija","localConversationPage.pushBranchMissing":"Atšakos informacija neprieinama","localConversationPage.pushButtonLabel":"Spausti","localConversationPage.pushButtonLabel.loading":"Spaudžiama...","localConversationPage.pushError":"Nepavyko paspausti pakeitimų","localConversationPage.pushModal.branchLabel":"Filialas","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Atšaukti","localConversationPage.pushModal.confirm":"Spausti","localConversationPage.pushModal.description":"Nusiųskite naujausius pakeitimus į nuotolinę saugyklą.","localConversationPage.pushModal.errorTitle":"Nepavyko spausti","localConversationPage.pushModal.forcePush":"Priversti spausti","localConversationPage.pushModal.successTitle":"Spaudimas baigtas","localConversationPage.pushModal.title":"Spaudimo pakeitimai","localConversationPage.pushModal.tryAgain":"Bandyti dar kartą","localConversationPage.pushNoUpstream":"Prieš spausdami šią atšaką, nustatykite priešsrovę","localConversationPage.pushNoUpstreamError":"Nepavyko spausti: nėra sukonfigūruotas išsiuntimo srautas","localConversationPage.pushNothingToPush":"Nėra naujų įsipareigojimų, kuriuos būtų galima paspausti","localConversationPage.pushRemoteChangedError":"Nepavyko spausti: nuotolinis serveris turi naujų pakeitimų","localConversationPage.pushRemoteRejectedError":"Spaudimas atmestas nuotoliniu  būdu","localConversationPage.pushStatusMissing":"Įkeliama stūmimo būsena...","localConversationPage.pushSuccessToast":"Paspausti pakeitimai","localConversationPage.viewPullRequestButtonLabel":"Peržiūrėti PR","localConversationPage.viewPullRequestButtonLabel.loading":"Įkeliama ištraukimo užklausa…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# failas} few {# failų} many {# failų} other {# failų}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# sąrašas} few {# sąrašai} many {# sąrašų} other {# sąrašų}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# paieška} few {# paieškų} many {# paieškų} other {# paieškų}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Tyrinėja","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Ištyrinėta","localConversationTurn.exploration.accordion.header.complete.withCounts":"Ištyrinėta {counts}","localConversationTurnStory.showContent":"Rodyti turinį","localConversationTurnStory.streamContent":"Transliacijos turinys","localConversationTurnStory.toggleReasoning":"Rodyti samprotavimą","localTaskRow.archiveError":"Nepavyko archyvuoti pokalbio","localTaskRow.resumeError":"Nepavyko atnaujinti užduoties","mermaidDiagram.ariaLabel":"Undinėlės diagrama","mermaidDiagram.copySource":"Kopijuoti undinėlę","mermaidDiagram.originalCode":"Mermaid šaltinio kodas","notifications.permissions.description":"Rodyti įspėjimus, kai reikalingi pranešimų leidimai","notifications.permissions.label":"Įjungti pranešimus apie leidimą","notifications.turnMode.always":"Visada","notifications.turnMode.description":"Nustatykite, kada „Codex“ praneš apie užbaigimą","notifications.turnMode.label":"Įjungti pranešimus apie užbaigimą","notifications.turnMode.off":"Niekada","notifications.turnMode.unfocused":"Tik tada, kai nesufokusuota","patchApprovalRequest.approve":"Patvirtinti","patchApprovalRequest.menu.allowAlways":"Taip, ir daugiau neklauskite šio seanso metu","patchApprovalRequest.menu.allowForSession":"Taip, ir daugiau neklauskite šio seanso metu","patchApprovalRequest.menu.allowOnce":"Taip","patchApprovalRequest.prompt":"Ar norite atlikti šiuos pakeitimus?","patchApprovalRequest.reject":"Ne","patchApprovalRequest.waitingForApproval":"Laukiama patvirtinimo redaguoti failus","pendingRequest.approvalExec.collapse":"Sutraukti","pendingRequest.approvalExec.expand":"Išplėsti","pendingRequestStory.toastAnswer":"Atsakymas: {answer}","pendingRequestStory.toastApprovalTitle":"Patvirtinimo atsakymas","pendingRequestStory.toastFollowupPrompt":"Raginimas: {prompt}","pendingRequestStory.toastFollowupTitle":"Tolesnis pranešimas išsiųstas","pendingRequestStory.toastNoAnswers":"Jokių atsakymų nepateikta","pendingRequestStory.toastQuestion":"Klausimas: {question}","pendingRequestStory.toastUnknownDecision":"Nežinomas","pendingRequestStory.toastUserInputTitle":"Pateikti atsakymai","quickAction.request.codeReview.branches.new":"Peržiūrėkite pakeitimus {from} su {to}","quickAction.request.codeReview.uncommitted.new":"Prašau peržiūrėti mano nepatvirtintus pakeitimus","reasoningItem.thinking":"Galvoja","reasoningItem.thought":"Mąstė","reasoningItem.thoughtWithElapsed":"Mąsto {elapsed}","recentConversations.title":"Vėliausi pokalbiai","recentTasks.worktreeInitFailedTitle":"Nepavyko inicijuoti darbo medžio","recentTasks.worktreeSettingUpTitle":"Darbo medžio nustatymas","requestInputPanel.continue":"Tęsti","requestInputPanel.dismiss":"Atmesti","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Įveskite čia","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ne, ir pasakykite „Codex“, ką daryti kitaip","requestInputPanel.selectedBadge":"Pasirinkta","requestInputPanel.skip":"Praleisti","requestInputPanel.submit":"Pateikti","review.commit.ariaLabel.includeUnstaged":"Įtraukti ne scenoje","review.commit.buttonLabel":"Pateikti","review.commit.disabled.committing":"Vykdoma...","review.commit.disabled.loadingDiff":"Įkeliamas skirtumas...","review.commit.disabled.missingContext":"Pridėkite kontekstą, kad sugeneruotumėte patvirtinimo pranešimą","review.commit.disabled.noChanges":"Nereikia atlikti jokių pakeitimų","review.commit.disabled.noSelection":"Pasirinkite pakeitimus, kuriuos norite atlikti","review.commit.disabled.unavailable":"Šiuo metu negalima atlikti","review.commit.error":"Nepavyko įrašyti pakeitimų","review.commit.form.changesToBeCommitted":"Pakeitimai","review.commit.form.commitTo":"Filialas","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Tęsti","review.commit.form.title":"Atlikite pakeitimus","review.commit.generate.emptyResponse":"Nepavyko sugeneruoti patvirtinimo pranešimo.","review.commit.generate.failed":"Nepavyko sugeneruoti patvirtinimo pranešimo: {error}","review.commit.generate.missingPrompt":"Pridėkite kontekstą, kad sugeneruotumėte patvirtinimo pranešimą.","review.commit.includeUnstaged":"Įtraukti ne scenoje","review.commit.loading.description":"Palaukite, tai gali užtrukti kelias minutes...","review.commit.loading.step.commit.done":"Įsipareigoti pakeitimai","review.commit.loading.step.commit.pending":"Įsipareigojimas keisti","review.commit.loading.step.createPr.done":"Sukurta ištraukimo užklausa","review.commit.loading.step.createPr.pending":"Kuriama ištraukimo užklausa","review.commit.loading.step.push.done":"Spausta į atšaką {branch}","review.commit.loading.step.push.pending":"Spaudžiama į atšaką {branch}","review.commit.loading.title.commit":"Įsipareigojimas keisti","review.commit.loading.title.createPr":"Kuriamas PR","review.commit.loading.title.push":"Stumiami pakeitimai","review.commit.messageLabel":"Pateikti pranešimą","review.commit.messagePlaceholder":"Palikite tuščią, kad patvirtinimo pranešimas būtų sugeneruotas automatiškai","review.commit.nextSteps":"Tolesni veiksmai","review.commit.nextSteps.commit":"Pateikti","review.commit.nextSteps.commitAndCreate":"Pateikti ir sukurti PR","review.commit.nextSteps.commitAndPush":"Pateikti ir spausti","review.commit.nextSteps.prRequiresGh":"Reikia „GitHub CLI“: {command}","review.commit.rows.changes":"Pakeitimai","review.commit.rows.commitCount":"{count, plural, one {# pateikimas} few {# pateikimai} many {# pateikimų} other {# pateikimų}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# pateikimas} few {# pateikimai} many {# pateikimų} other {# pateikimų}} ir {stats}","review.commit.rows.fileCount":"{count, plural, one {# failas} few {# failų} many {# failų} other {# failų}}","review.commit.state.error.body":"Įrašo įkėlimo metu įvyko klaida. Patikrinkite savo „git“ būseną ir bandykite dar kartą.","review.commit.state.error.title":"Nepavyko pateikti","review.commit.state.success.title":"Pateikti pakeitimai","review.commit.untracked.loadingStats":"Įkeliama nesekama skirtumų statistika…","reviewFindingAttachments.count":"{count, plural, one {# rezultatas} few {# rezultatai} many {# rezultatų} other {# rezultatai}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Redaguokite konfigūraciją, kad pritaikytumėte agento elgseną","settings.agent.configuration.configToml.docs":"Dokumentai","settings.agent.configuration.subtitle":"Šie nustatymai taikomi visur, kur naudojamas „Codex“","settings.automations.banner.danger":"Automatizavimas veikia su numatytaisiais smėlio dėžės nustatymais, kurie šiuo metu yra nustatyti kaip „Visiška prieiga“. Foninių automatizavimų vykdymas su visa prieiga kelia didesnę riziką, nes „Codex“ gali modifikuoti failus, vykdyti komandas ir pasiekti tinklą nepaklausęs. Apsvarstykite galimybę atnaujinti smėlio dėžės nustatymus į darbo vietos rašymą ir naudot <rulesDocsLink>taisykles</rulesDocsLink>, kad būtų galima pasirinktinai apibrėžti, kurias komandas agentas gali vykdyti su visiška prieiga.","settings.automations.banner.defaultHowTo.default":"Automatizavimas veikia su numatytaisiais smėlio dėžės nustatymais. Įrankių iškvietimai nepavyks, jei reikės modifikuoti failus už darbo vietos ribų, prisijungti prie tinklo arba dirbti su progr. kompiuteryje. Galite pasirinktinai įtraukti komandas į leidžiamųjų sąrašą, kad jos būtų vykdomos už smėlio dėžės ribų, naudodami <rulesDocsLink>taisykles</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizavimas veikia su numatytaisiais smėlio dėžės nustatymais, kurie nustatyti tik skaitymui. Įrankių iškvietimai nepavyks, jei reikės modifikuoti failus, prisijungti prie tinklo arba dirbti su progr. jūsų kompiuteryje. Apsvarstykite galimybę atnaujinti smėlio dėžės nustatymus į darbo vietos rašymą.","settings.automations.cancel":"Atšaukti","settings.automations.create":"Kurti","settings.automations.cwdEmpty":"Nėra pasiekiamų projekto aplankų","settings.automations.cwdLabel":"Projektai","settings.automations.cwdPlaceholder":"Pasirinkti aplanką","settings.automations.cwdSubtitle":"Jei norite, kad automatizavimas veiktų konkrečioje atšakoje, galite tai nurodyti savo raginime.","settings.automations.delete":"Šalinti","settings.automations.dialog.editTitle":"Redaguoti automatizavimą","settings.automations.dialog.newTitle":"Naujas automatizavimas","settings.automations.dialog.subtitle":"Automatizuokite pasikartojančias užduotis fone. „Codex“ prideda išvadas į gautųjų dėžutę arba automatiškai archyvuoja užduotį, jei nėra apie ką pranešti. <learnMoreLink>Sužinokite daugiau</learnMoreLink>","settings.automations.dialog.title":"Sukurti automatizavimą","settings.automations.executionCopy.git":"Automatizavimas veikia fone tam skirtuose darbo medžiuose.","settings.automations.executionCopy.nonGit":"Automatizavimas ne versijų kontroliuojamuose projektuose vykdomas tiesiogiai projekto kataloge. Apsvarstykite galimybę naudoti „Git“, kad būtų galima jį vykdyti foniniuose darbo medžiuose.","settings.automations.executionEnvironment.local":"Vietinis","settings.automations.executionEnvironment.worktree":"Darbo medis","settings.automations.loading":"Įkeliama…","settings.automations.nameLabel":"Pavadinimas","settings.automations.namePlaceholder":"Patikrinkite, ar nėra sargybos problemų","settings.automations.pause":"Pristabdyti","settings.automations.promptLabel":"Raginimas","settings.automations.promptPlaceholder":"ieškoti avarijų $Sentry","settings.automations.resume":"Atnaujinti","settings.automations.rruleSummaryFallback":"Pasirinktinis tvarkaraštis","settings.automations.runNow":"Bandyti","settings.automations.save":"Įrašyti","settings.automations.scheduleBadge.dayCount":"{count} d.","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"Darbo dienomis","settings.automations.scheduleBadge.weekends":"Darbo dienomis","settings.automations.scheduleHeader":"Tvarkaraštis","settings.automations.scheduleHours":"valandos","settings.automations.scheduleLabel":"Paleisti kas","settings.automations.scheduleMode.daily":"Kasdien","settings.automations.scheduleMode.interval":"Intervalas","settings.automations.scheduleModeLabel":"Tvarkaraščio tipas","settings.automations.scheduleSummary.daily":"Kasdien {time}","settings.automations.scheduleSummary.interval":"Kas {count} val.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# diena} few {# dienų} many {# dienų} other {# dienų}}","settings.automations.scheduleSummary.intervalDays":"{interval} {days}","settings.automations.scheduleSummary.intervalHourly":"Kas valandą","settings.automations.scheduleSummary.singleDay":"{day} {time}","settings.automations.scheduleSummary.weekdays":"Darbo dienomis {time}","settings.automations.scheduleSummary.weekdaysLabel":"darbo dienomis","settings.automations.scheduleSummary.weekends":"Darbo dienomis {time}","settings.automations.scheduleSummary.weekendsLabel":"darbo dienomis","settings.automations.scheduleSummary.weekly":"{days} {time}","settings.automations.scheduleWeekdays":"Įjungti","settings.automations.weekdayState.excluded":"Išskirta","settings.automations.weekdayState.included":"Įtraukta","settings.conversationDetail.steps":"Žingsniai","settings.conversationDetail.steps.description":"Slėpti komandas ir išvestis","settings.conversationDetail.stepsWithCommands":"Žingsniai su kodų komandomis","settings.conversationDetail.stepsWithCommands.description":"Rodyti komandas, sutraukti išvestį","settings.conversationDetail.stepsWithOutput":"Žingsniai su kodo išvestimi","settings.conversationDetail.stepsWithOutput.description":"Rodyti komandas ir išplėsti išvestį","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Archyvuotų pokalbių nėra.","settings.dataControls.archivedChats.error":"Nepavyko įkelti archyvuotų pokalbių.","settings.dataControls.archivedChats.loading":"Įkeliami archyvuoti pokalbiai…","settings.dataControls.archivedChats.unarchive":"Išarchyvuoti","settings.dataControls.archivedChats.unarchiveError":"Nepavyko išarchyvuoti pokalbio","settings.dataControls.archivedChats.unarchiveSuccess":"Išarchyvuota gija. <viewNowLink>Peržiūrėti dabar</viewNowLink>","settings.dataControls.archivedChats.untitled":"Pokalbis be pavadinimo","settings.editRow.headerPlaceholder":"Raktas","settings.editRow.removeEntry":"Pašalinti įrašą","settings.editRow.valuePlaceholder":"Vertė","settings.general.appearance":"Išvaizda","settings.general.appearance.codeFont":"Kodo šriftas","settings.general.appearance.codeFont.description":"Koreguokite šriftą ir dydį, naudojamą kodui pokalbiuose ir skirtumuose","settings.general.appearance.codeFontFamily":"Kodo šriftų šeima","settings.general.appearance.codeFontSize":"Kodo šrifto dydis","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Nustatykite, kad langai naudotų vientisą foną, o ne sistemos permatomumą","settings.general.appearance.opaqueWindows.label":"Naudokite nepermatomą lango foną","settings.general.appearance.sansFontFamily":"Sans šriftų šeima","settings.general.appearance.sansFontFamily.description":"Koreguokite „Codex“ naudotojo sąsajos šriftą","settings.general.appearance.sansFontSize":"Sans šrifto dydis","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Rodyti viso lango šventės efektus, kol GPT-5.3-Codex-Spark vykdo pirmąjį ėjimą","settings.general.appearance.sparkCelebrationEffects.label":"Kibirkštėlės ​​šventės efektai","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Tamsioji","settings.general.appearance.theme.description":"Naudokite šviesų, tamsų arba derančius prie jūsų sistemos","settings.general.appearance.theme.light":"Šviesioji","settings.general.appearance.theme.system":"Sistema","settings.general.appearance.usePointerCursors.description":"Pakeisti žymeklį į rodyklę, kai užvedate pelės žymeklį virš interaktyvių elementų","settings.general.appearance.usePointerCursors.label":"Naudokite rodyklių žymeklius","settings.general.enterBehavior.description":"Kai įjungta, norint siųsti kelių eilučių užklausas, reikia paspausti {modifierSymbol} + klavišą „Enter“.","settings.general.enterBehavior.label":"Reikia paspausti {modifierSymbol} + klavišą „Enter“, jei norite siųsti ilgus raginimus","settings.general.experimentalFeatures":"Eksperimentinės funkcijos (beta versija)","settings.general.experimentalFeatures.empty":"Nėra jokių beta versijos eksperimentinių funkcijų.","settings.general.experimentalFeatures.loading":"Įkeliamos eksperimentinės funkcijos…","settings.general.experimentalFeatures.restartNote":"Paleiskite Codex iš naujo, kad pritaikytumėte eksperimentinius funkcijų pakeitimus","settings.general.experimentalFeatures.toggle":"Perjungti {featureName}","settings.general.followUpQueueMode.description":"Stebėti eilę, kol veikia „Codex“, arba nutraukti dabartinį vykdymą","settings.general.followUpQueueMode.interrupt":"Valdyti","settings.general.followUpQueueMode.label":"Stebėjimo elgsena","settings.general.followUpQueueMode.queue":"Eilė","settings.general.notifications":"Pranešimai","settings.general.power.preventSleepWhileRunning.description":"Kol „Codex“ vykdo giją, laikykite kompiuterį budrų.","settings.general.power.preventSleepWhileRunning.label":"Neleiskite miegoti bėgimo metu","settings.git.branchPrefix.ariaLabel":"Atšakos priešdėlis","settings.git.branchPrefix.description":"Priešdėlis, naudojamas kuriant naujas „Codex“ atšakas","settings.git.branchPrefix.label":"Atšakos priešdėlis","settings.git.branchPrefix.placeholder":"„Codex“/","settings.git.branchPrefix.save.error":"Nepavyko įrašyti atšakos priešdėlio","settings.git.branchPrefix.save.success":"Įrašytas atšakos priešdėlis","settings.git.commitInstructions.ariaLabel":"Pateikti instrukcijas","settings.git.commitInstructions.description":"Pridėta prie patvirtinimo pranešimų generavimo raginimų","settings.git.commitInstructions.label":"Pateikti instrukcijas","settings.git.commitInstructions.placeholder":"Pridėti patvirtinimo pranešimo gaires…","settings.git.commitInstructions.save":"Įrašyti","settings.git.commitInstructions.save.error":"Nepavyko įrašyti patvirtinimo instrukcijų","settings.git.commitInstructions.save.success":"Įrašytos patvirtinimo instrukcijos","settings.git.forcePush.ariaLabel":"Visada priversti spausti","settings.git.forcePush.description":"Naudokite --force-with-lease, kai siunčiama iš „Codex“","settings.git.forcePush.label":"Visada priversti spausti","settings.git.forcePush.save.disabled":"Visada priversti spausti išjungta","settings.git.forcePush.save.enabled":"Visada priversti spausti įjungta","settings.git.forcePush.save.error":"Nepavyko išsaugoti priverstinio spaudimo nustatymo","settings.git.prInstructions.ariaLabel":"Ištraukimo užklausos instrukcijos","settings.git.prInstructions.description":"Pridėta prie „Codex“ sukurtų ištraukimo užklausų tekstų","settings.git.prInstructions.label":"Ištraukimo užklausos instrukcijos","settings.git.prInstructions.placeholder":"Pridėti ištraukimo užklausos gaires…","settings.git.prInstructions.save":"Įrašyti","settings.git.prInstructions.save.error":"Nepavyko įrašyti ištraukimo užklausos instrukcijų","settings.git.prInstructions.save.success":"Įrašytos ištraukimo užklausos instrukcijos","settings.ide.defaultOpenTarget.description":"Kur pagal numatytuosius nustatymus atidaromi failai ir aplankai","settings.ide.defaultOpenTarget.label":"Numatytoji atvira paskirties vieta","settings.ide.defaultOpenTarget.placeholder":"Taikinių nerasta","settings.ide.language.auto":"Automatiškai aptikti","settings.ide.language.autoOption":"Automatiškai aptikti","settings.ide.language.description":"Programėlės vartotojo sąsajos kalba","settings.ide.language.label":"Kalba","settings.ide.language.search":"Ieškoti kalbų","settings.layout.actionButton":"Paleisti plėtinį iš naujo","settings.layout.actionTitle":"Nustatymai su veiksmu","settings.layout.fullWidthTitle":"Nustatymai (visas plotis)","settings.layout.title":"Nuostatos","settings.localEnvironments.actions.add":"Įtraukti veiksmą","settings.localEnvironments.actions.add.description":"Sukurkite naują komandą, kurią paleisite įrankių juostoje.","settings.localEnvironments.actions.add.save":"Įrašyti","settings.localEnvironments.actions.empty":"Pridėti veiksmą, kad būtų galima vykdyti komandas iš vietinės įrankių juostos.","settings.localEnvironments.actions.icon.debug":"Taisyti riktus","settings.localEnvironments.actions.icon.run":"Paleisti","settings.localEnvironments.actions.icon.test":"Bandyti","settings.localEnvironments.actions.icon.tool":"Įrankis","settings.localEnvironments.actions.item.button.delete":"Šalinti","settings.localEnvironments.actions.item.command":"Veiksmo scenarijus","settings.localEnvironments.actions.item.name":"Pavadinimas","settings.localEnvironments.actions.item.platforms":"Platformos","settings.localEnvironments.actions.item.platforms.help":"Paleisti tik konkrečioje OS.","settings.localEnvironments.actions.item.platforms.linux":"„Linux“","settings.localEnvironments.actions.item.platforms.macos":"„macOS“","settings.localEnvironments.actions.item.platforms.selector":"Platformos parinktis","settings.localEnvironments.actions.item.platforms.specific":"Specifinė platforma","settings.localEnvironments.actions.item.platforms.windows":"„Windows“","settings.localEnvironments.actions.item.tooltip.delete":"Šalinti","settings.localEnvironments.actions.title":"Veiksmai","settings.localEnvironments.breadcrumb.back":"Atgal","settings.localEnvironments.breadcrumb.edit":"Redaguoti","settings.localEnvironments.breadcrumb.root":"Aplinkos","settings.localEnvironments.environment.actions.description":"Šie veiksmai gali vykdyti bet kokią komandą ir bus rodomi antraštėje.","settings.localEnvironments.environment.actionsLabel":"Veiksmai","settings.localEnvironments.environment.create":"Sukurti vietinę aplinką","settings.localEnvironments.environment.defaultName":"vietinis","settings.localEnvironments.environment.edit":"Redaguoti vietinę aplinką","settings.localEnvironments.environment.empty":"Šiam projektui dar nesukonfigūruota jokia vietinė aplinka.","settings.localEnvironments.environment.name":"Pavadinimas","settings.localEnvironments.environment.setup":"Nustatymų scenarijus","settings.localEnvironments.environment.setup.description":"Šis scenarijus veiks kuriant darbo medį.","settings.localEnvironments.environment.setup.hint":"Veikia projekto šakniniame kataloge.","settings.localEnvironments.environment.setup.platformOverrides":"Platformos nepaisymas","settings.localEnvironments.environment.setup.platformOverrides.add":"Pridėti {platform} nustatymų scenarijų","settings.localEnvironments.environment.setup.platformOverrides.description":"Perrašo numatytąjį scenarijų konkrečioms OS.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Pašalinti","settings.localEnvironments.environment.setup.script":"Scenarijus","settings.localEnvironments.environment.title":"Aplinkos duomenys","settings.localEnvironments.file.missing":"Įrašykite, kad sukurtumėte šį failą pirmą kartą.","settings.localEnvironments.file.parseError":"Nepavyko išanalizuoti esamo failo. Įrašius jis bus perrašytas. ({error})","settings.localEnvironments.file.path":"{path} failas","settings.localEnvironments.file.readError":"Nepavyko įkelti vietinės aplinkos duomenų. ({error})","settings.localEnvironments.file.title":"Vietinės aplinkos failas","settings.localEnvironments.loading.body":"Gaunama jūsų projekto konfigūracija.","settings.localEnvironments.loading.title":"Įkeliamos vietinės aplinkos","settings.localEnvironments.preview.devOnly":"(tik KŪRIMAS)","settings.localEnvironments.preview.save":"Įrašyti","settings.localEnvironments.preview.saveError":"Nepavyko įrašyti failo. ({error})","settings.localEnvironments.preview.title":"Peržiūrėti","settings.localEnvironments.save.disabled.name":"Pridėkite aplinkos pavadinimą, kad įrašytumėte.","settings.localEnvironments.save.disabled.noChanges":"Nėra pakeitimų, kuriuos būtų galima įrašyti.","settings.localEnvironments.save.disabled.saving":"Įrašoma...","settings.localEnvironments.save.success":"Įrašyta vietinė aplinka","settings.localEnvironments.unavailable.body":"Nepavyko įkelti šio projekto vietinės aplinkos nustatymų.","settings.localEnvironments.unavailable.title":"Vietinės aplinkos nepasiekiamos","settings.localEnvironments.workspace.add":"Pridėti projektą","settings.localEnvironments.workspace.title":"Projektas","settings.localEnvironments.workspaceSelect.addLabel":"Pridėti aplinką","settings.localEnvironments.workspaceSelect.description":"Vietinės aplinkos nurodo „Codex“, kaip nustatyti projekto darbo medžius. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Kol kas nėra projektų. Pridėkite vieną, kad sukonfigūruotumėte vietines aplinkas.","settings.localEnvironments.workspaceSelect.errorLabel":"Aplinkai reikia dėmesio","settings.localEnvironments.workspaceSelect.learnMore":"Sužinokite daugiau","settings.localEnvironments.workspaceSelect.listLabel":"Galimi projektai","settings.localEnvironments.workspaceSelect.loading":"Įkeliami projektai","settings.localEnvironments.workspaceSelect.loadingLabel":"Įkeliama aplinka","settings.localEnvironments.workspaceSelect.title":"Pasirinkti projektą","settings.localEnvironments.workspaceSelect.viewAction":"Vaizdas","settings.mcp.addServer":"Pridėti serverį","settings.mcp.app.configure":"Konfigūruoti","settings.mcp.app.connect":"Prijungti","settings.mcp.apps.refresh":"Įkelti iš naujo","settings.mcp.detail.addArgument":"Pridėti argumentą","settings.mcp.detail.addEnvVar":"Pridėti aplinkos kintamąjį","settings.mcp.detail.addEnvVarPassthrough":"Pridėti kintamąjį","settings.mcp.detail.args":"Argumentai","settings.mcp.detail.back":"Atgal","settings.mcp.detail.command":"Komanda paleisti","settings.mcp.detail.cwd":"Darbo katalogas","settings.mcp.detail.docs":"Atidaryti MCP dokumentaciją","settings.mcp.detail.docs.link":"Dokumentai","settings.mcp.detail.envVarPassthrough":"Aplinkos kintamųjų perdavimas","settings.mcp.detail.envVars":"Aplinkos kintamieji","settings.mcp.detail.http.addEnvHeader":"Pridėti kintamąjį","settings.mcp.detail.http.addHeader":"Pridėti antraštę","settings.mcp.detail.http.bearerToken":"Turėtojo token aplinkos kintamasis","settings.mcp.detail.http.envHeaders":"Antraštės iš aplinkos kintamųjų","settings.mcp.detail.http.headers":"Antraštės","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Pavadinimas","settings.mcp.detail.save":"Įrašyti","settings.mcp.detail.switchTransportNotice":"Jei norite pakeisti MCP serverio tipą, pirmiausia išdiekite jį.","settings.mcp.detail.titleExisting":"Atnaujinti {name} MCP","settings.mcp.detail.titleNew":"Prisijungimas prie pasirinktinio MCP","settings.mcp.detail.transport.http":"Srautinis HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Išdiegti","settings.mcp.empty":"Nėra prijungtų pasirinktinių MCP serverių","settings.mcp.myServers":"Pasirinktiniai serveriai","settings.mcp.partnerServer.description.figma":"Sukurkite geresnį kodą, įtraukdami visą „Figma“ kontekstą","settings.mcp.partnerServer.description.github":"Integruokite su „GitHub“ API, kad automatizuotumėte darbo eigas ir išgautumėte duomenis","settings.mcp.partnerServer.description.linear":"Integracija su „Linear“ problemų stebėjimo ir projektų valdymo sistemomis","settings.mcp.partnerServer.description.notion":"Skaityti dokumentus, atnaujinti puslapius, tvarkyti užduotis","settings.mcp.partnerServer.description.playwright":"Integruokite naršyklės automatizavimą, kad įdiegtumėte dizainą ir testuotumėte vartotojo sąsają.","settings.mcp.partnerServer.install":"Įdiegti","settings.mcp.partnerServer.installAndAuthenticate":"Įdiegti ir patvirtinti","settings.mcp.partnerServer.logoAlt":"{label} logotipas","settings.mcp.partnerServer.manage":"Tvarkyti","settings.mcp.partnerServer.vendor":"sukūrė {vendor}","settings.mcp.recommendedServers":"Rekomenduojami serveriai","settings.mcp.restartApp":"Paleisti iš naujo","settings.mcp.restartExtension":"Paleisti plėtinį iš naujo","settings.mcp.server.enable":"Įjungti","settings.mcp.server.login":"Patvirtinti tapatybę","settings.mcp.server.settings":"Nuostatos","settings.multiselect.createOption":"Kurti „{value}“","settings.multiselect.removeOption":"Pašalinti","settings.nav.account":"Paskyra","settings.nav.agent":"Konfigūracija","settings.nav.ariaLabel":"Nuostatos","settings.nav.back":"Atgal į progr.","settings.nav.data-controls":"Suarchyvuotos gijos","settings.nav.environments":"Debesies aplinkos","settings.nav.externalTooltip":"[alfa] Atsidaro naršyklėje","settings.nav.general-settings":"Bendra","settings.nav.git-settings":"„Git“","settings.nav.local-environments":"Aplinkos","settings.nav.mcp-settings":"MCP serveriai","settings.nav.notImplemented":"[alfa] Alfa versija nepasiekiama","settings.nav.personalization":"Pritaikomumas","settings.nav.skills-settings":"Įgūdžiai","settings.nav.usage-analytics":"Naudojimas ir analizė","settings.nav.worktrees":"Darbo medžiai","settings.openSourceLicenses.back":"Atgal","settings.openSourceLicenses.loading":"Įkeliama…","settings.openSourceLicenses.missing":"Nerasta jokių trečiųjų šalių pranešimų.","settings.openSourceLicenses.notSupported":"Šiame priegloboje nepasiekiama.","settings.openSourceLicenses.rowDescription":"Trečiųjų šalių pranešimai apie susietąsias priklausomybes","settings.openSourceLicenses.rowLabel":"Atvirojo kodo licencijos","settings.openSourceLicenses.subtitle":"Trečiųjų šalių pranešimai apie šioje progr. esančias priklausomybes","settings.openSourceLicenses.title":"Atvirojo kodo licencijos","settings.openSourceLicenses.view":"Vaizdas","settings.personalization.agents.description":"Redaguokite instrukcijas, kurios pritaikys „Codex“ jums. {learnMore}","settings.personalization.agents.learnMore":"Sužinokite daugiau","settings.personalization.agents.loadError":"Nepavyko įkelti agents.md.","settings.personalization.agents.loading":"Įkeliama agents.md…","settings.personalization.agents.placeholder":"Pridėkite savo pasirinktines instrukcijas…","settings.personalization.agents.retry":"Bandyti iš naujo","settings.personalization.agents.save":"Įrašyti","settings.personalization.agents.save.error":"Nepavyko įrašyti agents.md failo","settings.personalization.agents.save.success":"Įrašytas agents.md","settings.personalization.agents.title":"Pasirinktinės instrukcijos","settings.personalization.personality.description":"Pasirinkite numatytąjį „Codex“ atsakymų toną","settings.personalization.personality.label":"Asmenybė","settings.sample.contentBody":"Naudokite šį išdėstymą, kad sukurtumėte nustatymų skydelius su vienodais tarpais.","settings.sample.contentTitle":"Turinio bloko pavyzdys","settings.section.account":"Paskyra","settings.section.agent":"Konfigūracija","settings.section.data-controls":"Suarchyvuotos gijos","settings.section.environments":"Debesies aplinkos","settings.section.external":"Atsidaro naršyklėje alfa versijos metu","settings.section.general-settings":"Bendra","settings.section.git-settings":"„Git“","settings.section.local-environments":"Aplinkos","settings.section.mcp-settings":"MCP serveriai","settings.section.mcp-settings.docs":"Dokumentai","settings.section.mcp-settings.subtitle":"Prijunkite išorinius įrankius ir duomenų šaltinius.","settings.section.personalization":"Pritaikomumas","settings.section.skills-settings":"Įgūdžiai","settings.section.unavailable":"Alfa versijoje dar nepasiekiama","settings.section.usage-analytics":"Naudojimas ir analizė","settings.section.worktrees":"Darbo medžiai","settings.threadDetail.description":"Pasirinkite, kiek komandų išvesties rodyti gijose","settings.threadDetail.label":"Gijos detalė","settings.worktrees.conversation.untitled":"Pokalbis be pavadinimo","settings.worktrees.delete.error":"Nepavyko pašalinti darbo medžio","settings.worktrees.empty.body":"Čia bus rodomi „Codex“ sukurti darbo medžiai.","settings.worktrees.empty.title":"Dar nėra darbo medžių","settings.worktrees.error.body":"Įkeliant darbo medžius įvyko klaida.","settings.worktrees.error.retry":"Bandyti iš naujo","settings.worktrees.error.title":"Nepavyko įkelti darbo medžių","settings.worktrees.loading.body":"Gaunami darbo medžio duomenys.","settings.worktrees.loading.title":"Įkeliami darbo medžiai","settings.worktrees.repository.loading":"Įkeliami saugyklos metaduomenys…","settings.worktrees.repository.unknown":"Nežinoma saugykla","settings.worktrees.row.conversations":"Pokalbiai","settings.worktrees.row.conversations.empty":"Su šiuo darbo medžiu nėra susietų pokalbių.","settings.worktrees.row.conversations.loading":"Įkeliami pokalbiai…","settings.worktrees.row.delete":"Šalinti","settings.worktrees.row.title":"Darbo medis","sidebarElectron.addWorkspaceRoot":"Pridėti naują projektą","sidebarElectron.archiveThread":"Archyvo gija","sidebarElectron.archiveThreadError":"Nepavyko archyvuoti gijos","sidebarElectron.collapseFolder":"Sutraukti aplanką","sidebarElectron.createStableWorktree.dialog.cancel":"Atšaukti","sidebarElectron.createStableWorktree.dialog.create":"Kurti","sidebarElectron.debugNavLink":"Taisyti riktus","sidebarElectron.editWorkspaceRootOptionName":"Redaguoti pavadinimą","sidebarElectron.expandFolder":"Išplėsti aplanką","sidebarElectron.groupByMenu.recency":"Chronologinis sąrašas","sidebarElectron.groupByMenu.title":"Tvarkyti","sidebarElectron.groupByMenu.workspace":"Pagal projektą","sidebarElectron.inboxRouteNavLink":"Automatikos","sidebarElectron.markThreadUnread":"Pažymėti kaip neskaitytą","sidebarElectron.missingWorkspaceRoot":"Šis projekto aplankas buvo pašalintas arba perkeltas","sidebarElectron.newThread":"Nauja gija","sidebarElectron.newThreadInGroup":"Pradėti naują giją {folder}","sidebarElectron.noRecentThreads":"Nėra naujausių gijų","sidebarElectron.noTasks":"Nėra gijų","sidebarElectron.noTasks.start":"Pridėti naują projektą","sidebarElectron.noTasksWithFilter":"Nė viena gija neatitinka filtrų","sidebarElectron.pinnedThreads":"Prisegtos gijos","sidebarElectron.recentNavLink":"Gijos","sidebarElectron.recentThreads":"Naujausios gijos","sidebarElectron.removeWorkspaceRootOption":"Pašalinti","sidebarElectron.renameThread":"Pervadinti giją","sidebarElectron.renameThreadDialogAriaLabel":"Gijos pavadinimas","sidebarElectron.renameThreadDialogCancel":"Atšaukti","sidebarElectron.renameThreadDialogPlaceholder":"Pridėti pavadinimą...","sidebarElectron.renameThreadDialogSave":"Įrašyti","sidebarElectron.renameThreadDialogSubtitle":"Tegul jis būna trumpas ir atpažįstamas.","sidebarElectron.renameThreadDialogTitle":"Pervadinti giją","sidebarElectron.renameThreadError":"Nepavyko pervadinti gijos","sidebarElectron.renameWorkspaceRootOptionLabel":"Rodyti pavadinimą","sidebarElectron.showLess":"Rodyti mažiau","sidebarElectron.showMenu.all":"Visos gijos","sidebarElectron.showMenu.relevant":"Aktualus","sidebarElectron.showMenu.relevantHint":"Rodyti tik naujausias dabartinės atšakos, darbo medžių ar kitų gijų, kurioms reikia jūsų dėmesio, gijas","sidebarElectron.showMenu.title":"Rodyti","sidebarElectron.showMenu.tooltip":"Filtruoti, rūšiuoti ir tvarkyti gijas","sidebarElectron.showMenu.trigger":"Filtruoti šoninės juostos gijas","sidebarElectron.showMore":"Rodyti daugiau","sidebarElectron.skillsRouteNavLink":"Įgūdžiai","sidebarElectron.sortMenu.created":"Sukurta","sidebarElectron.sortMenu.title":"Rūšiuoti pagal","sidebarElectron.sortMenu.updated":"Atnaujinta","sidebarElectron.taskNavigation":"Automatizavimo aplankai","sidebarElectron.tasksInFolder":"Automatizavimai {folder}","sidebarElectron.workspaceOptions":"Projekto veiksmai, skirti {folder}","sidebarElectron.worktreeGroupTooltip":"Tai yra „git“ darbo medis","skills.appsPage.createSkill":"Naujas įgūdis","skills.appsPage.empty.skills":"Įgūdžių nerasta","skills.appsPage.search.skills":"Ieškoti įgūdžių","skills.appsPage.search.skills.label":"Ieškoti įgūdžių","skills.appsPage.section.installedApps":"Įdiegta","skills.appsPage.section.skills":"Įgūdžiai","skills.appsPage.subheading":"Suteikite „Codex“ supergalių.<link>Sužinokite daugiau</link>","skills.appsPage.tab.recommended":"Rekomenduojama","skills.appsPage.tab.skills":"Įgūdžiai","skills.card.contentsError":"Nepavyko įkelti įgūdžių turinio.","skills.card.disable":"Išjungti","skills.card.disableSuccess":"{skillName} įgūdis išjungtas","skills.card.disabledBadge":"Išjungta","skills.card.enable":"Įjungti","skills.card.enableSuccess":"{skillName} įgūdis įjungtas","skills.card.loadingContents":"Įkeliamas įgūdžių turinys...","skills.card.more":"Daugiau veiksmų","skills.card.open":"Atidaryta","skills.card.removeFailed":"Nepavyko išdiegti įgūdžio","skills.card.removeSuccess":"{skillName} įgūdis išdiegtas","skills.card.toggleEnabledError":"Nepavyko atnaujinti įgūdžio","skills.card.try":"Bandyti","skills.card.trySkill":"Bandyti įgūdį","skills.card.uninstall":"Išdiegti","skills.hero.dotLabel":"Eiti į skaidrę {index}","skills.hero.next":"Kitas teminis įgūdis","skills.hero.trySkill":"Bandyti įgūdį","skills.page.createSkill":"Naujas įgūdis","skills.page.empty":"Įgūdžių nerasta","skills.page.filteredEmpty":"Nėra įgūdžių, atitinkančių jūsų filtrus","skills.page.filteredEmptyDescription":"Pabandykite pakoreguoti paieškos arba apimties filtrus","skills.page.heading":"Įgūdžiai","skills.page.loading":"Įkeliami įgūdžiai...","skills.page.refreshSkills":"Įkelti iš naujo","skills.page.refreshSkillsToUseNew":"Atnaujinkite, kad galėtumėte naudoti naują (-us) įgūdį (-džius)","skills.page.search":"Ieškoti įgūdžių","skills.page.search.label":"Ieškoti įgūdžių","skills.page.subheading":"Suteikite „Codex“ supergalių.<link>Sužinokite daugiau</link>","skills.preview.copyPrompt":"Kopijuoti raginimą","skills.preview.examplePrompt":"Raginimo pavyzdys","skills.recommended.error":"Nepavyko įkelti rekomenduojamų įgūdžių","skills.recommended.install":"Įdiegti","skills.recommended.installSkill":"Įdiegti įgūdį","skills.recommended.installSuccess":"{skillName} įgūdis įdiegtas","skills.recommended.installed":"Įdiegta","skills.scope.admin":"Administratorius","skills.scope.adminInstalled":"Įdiegta administratoriaus","skills.scope.builtIn":"Sistema","skills.scope.personal":"Asmeninė","skills.scope.repo":"Saugykla","skills.scope.system":"Sistema","skills.scope.team":"Komanda","skills.scope.user":"Naudotojas","skills.section.installed":"Įdiegta","skills.section.recommended":"Rekomenduojama","story.slidingToggle.existing":"Yra","story.slidingToggle.fromLocal":"Iš vietinio","story.slidingToggle.new":"Naujas","story.slidingToggle.toLocal":"Į vietinį","terminal.close":"Uždaryti terminalą","terminal.title":"Terminalas","thinkingShimmer.default":"Galvoja","threadEnvIcon.cloudTooltip":"Šis pokalbis vyksta „Codex Cloud“ platformoje.","threadEnvIcon.localTooltip":"Šis pokalbis vyksta lokaliai.","threadEnvIcon.worktreeTooltip":"Šis pokalbis vyksta vietiniame „git“ darbo medyje.","threadHeader.archiveConfirmCancel":"Atšaukti","threadHeader.archiveConfirmConfirm":"Archyvuoti","threadHeader.copyAppLink":"Kopijuoti progr. nuorodą","threadHeader.copySessionId":"Kopijuoti seanso ID","threadHeader.copyWorkingDirectory":"Kopijuoti darbo katalogą","threadHeader.forkIntoLocal":"Kurti atšaką į vietinę","threadHeader.forkIntoWorktree":"Kurti atšaką naujame darbo medyje","threadHeader.forkPendingWorktreePrompt":"Kurti šio pokalbio atšaką į naują darbo medį.","threadHeader.forkPendingWorktreeTitle":"Pokalbio atšakos kūrimas","threadHeader.forkThreadError":"Nepavyko sukurti gijos atšakos","threadHeader.forkThreadRequiresGitRepo":"Sujungimui į naują darbo medį reikalinga „git“ saugykla","threadHeader.moreActions":"Gijos veiksmai","threadPage.newThread":"Nauja gija","threadPage.runAction.changeEnvironment":"Pakeisti aplinką","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} veiksmai","threadPage.runAction.environmentSelector.label":"Pasirinkti aplinką","threadPage.runAction.label":"Paleisti","threadPage.runAction.missing.label":"Nustatyti paleidimo veiksmą","threadPage.runAction.setup.commandLabel":"Komanda, skirta paleisti","threadPage.runAction.setup.description":"Pasakykite „Codex“, kaip įdiegti priklausomybes ir paleisti progr.","threadPage.runAction.setup.editMore":"Aplinkos nustatymai","threadPage.runAction.setup.placeholder":"pvz.: npm install npm run","threadPage.runAction.setup.submit":"Įrašyti ir paleisti","threadPage.runAction.setup.title":"Paleisti","threadPage.runAction.tooltip.withEnvironment":"{environmentName} veiksmai","threadPage.toggleDiffPanel":"Perjungti skirtumų skydelį","threadPage.toggleTerminal":"Perjungti terminalą","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Atidaryti aplanką","toolSummaryForCmd.exploredFiles":"<verb>Išvardyti</verb> failai","toolSummaryForCmd.exploredFilesInPath":"<verb>Išvardyti</verb> failai {path}","toolSummaryForCmd.exploringFiles":"<verb>Išvardijami</verb> failai","toolSummaryForCmd.exploringFilesInPath":"<verb>Išvardijami</verb> failai {path}","toolSummaryForCmd.ranGenericCommand":"<status>Vykdė komandą</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Vykdė</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Nuskaityti</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Vykdoma komanda</status>{timer}","toolSummaryForCmd.runningTimer":"skirta {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Ieškota</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Ieškota</verb> failų","toolSummaryForCmd.searchedForInPath":"<verb>Ieškota</verb> {query} {path}","toolSummaryForCmd.searchingFor":"<verb>Ieškoma</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Ieškoma</verb> failų","toolSummaryForCmd.searchingForInPath":"<verb>Ieškoma</verb> {query} {path}","traceRecording.startDetails.cancel":"Atšaukti","wham.diff.addComment":"Pridėti komentarą","wham.diff.binaryFile":"Dvejetainis failas nerodomas","wham.diff.noContent":"Nėra turinio","wham.fileTag.deleted":"Ištrintas","wham.fileTag.new":"Naujas","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d.","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mėn.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} sav.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} m.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Dirba su jūsų užduotimi","wham.whamProposedTask.title":"Siūloma užduotis","wham.whamProposedTask.useSuggestion":"Naudoti pasiūlymą","workspaceRootDialog.addError":"Nepavyko pridėti projekto","workspaceRootDialog.cancel":"Atšaukti","workspaceRootDialog.confirmAdd":"Pridėti projektą","workspaceRootDialog.confirmPick":"Naudoti projektą","workspaceRootDialog.description":"Įveskite kelią {host}, kurį naudosite kaip projektą.","workspaceRootDialog.pathLabel":"Projekto kelias","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Pridėti projekto kelią","workspaceRootDialog.title.pick":"Pasirinkti projekto kelią","worktreeInitV2.cancel":"Atšaukti","worktreeInitV2.notification.failedTitle":"Nepavyko nustatyti darbo medžio","worktreeInitV2.output.empty":"Laukiama išvesties...","worktreeInitV2.status.error":"Nepavyko nustatyti darbo medžio.","worktreeInitV2.status.running":"Darbo medžio kūrimas ir sąrankos paleidimas.","worktreeInitV2.status.runningFork":"Kuriamas darbo medis, kad būtų sukurta šio pokalbio atšaka.","worktreeInitV2.status.success":"Darbo medis paruoštas","worktreeInitV2.title":"Darbo medžio kūrimas","worktreeInitV2.workLocallyInstead":"Vietoj to dirbkite vietoje","worktreeRestoreBanner.body":"Šios gijos darbo medis buvo pašalintas siekiant sutaupyti vietos diske","worktreeRestoreBanner.missing.body":"Šio gijos darbo katalogas nebėra","worktreeRestoreBanner.missing.title":"Trūksta dabartinio darbo katalogo","worktreeRestoreBanner.restore.error":"Nepavyko atkurti darbo medžio: {message}","worktreeRestoreBanner.restore.success":"Atkurtas darbo medis","worktreeRestoreBanner.restoreCta":"Atkurti darbo medį","worktreeRestoreBanner.title":"Išvalytas darbo medis"};Object.assign(e,globalThis.codexI18nOverrides?.["lt"]);export{e as default};
 //# sourceMappingURL=lt-B5DIDZhC.js.map
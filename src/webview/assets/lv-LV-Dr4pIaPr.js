@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopēt","app.sidebar.hide":"Paslēpt sānu joslu","app.sidebar.show":"Rādīt sānu joslu","app.sidebar.tooltip":"Pārslēgt sānu joslu","appHeader.installUpdate":"Atjaunināt","appSunset.body":"Šī lietotnes versija vairs netiek atbalstīta. Lejupielādē jaunāko versiju <here>šeit</here>.","appSunset.title":"Nepieciešams atjauninājums","automation.updateDirective.create":"Izveidot","automation.updateDirective.open":"Atvērts","automation.updateDirective.untitled":"Automatizācija bez nosaukuma","automation.updateDirective.update":"Atjaunināt","bestOfNIcon.attemptsTooltip":"{attempts, plural, zero {# mēģinājumi} one {# mēģinājums} other {# mēģinājumi}}","cloudTaskRow.archiveError":"Neizdevās arhivēt uzdevumu","code.diff.requestChange":"Pieprasīt izmaiņu","code.diffComment.cancel":"Atcelt","code.diffComment.comment":"Pievienot komentāru","code.diffComment.delete":"Dzēst","code.diffComment.save":"Saglabāt","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nav atrasti rezultāti.","codex.alert.closeAriaLabel":"Aizvērt","codex.appUpsellBanner.cbpApi.message":"Strādā ātrāk ar Codex lietotni. Lejupielādē to tagad vai {learnMoreLink}.","codex.appUpsellBanner.download":"Lejupielādēt","codex.appUpsellBanner.freeGo.message":"Codex ir iekļauts tavā plānā līdz 2. martam. Izmēģini Codex lietotni, lai strādātu ātrāk.","codex.appUpsellBanner.later":"Vēlāk","codex.appUpsellBanner.learnMoreLowercase":"uzzini vairāk","codex.appUpsellBanner.new":"Jauns","codex.appUpsellBanner.proPlusBusiness.message":"Izmēģini Codex lietotni ar divreiz lielākiem lietojuma limitiem līdz 2. aprīlim. Lejupielādējiet to tagad vai {learnMoreLink}.","codex.appUpsellBanner.title":"Codex lietotne","codex.applyDropdown.header.changes":"Izmaiņas","codex.applyDropdown.header.fileCount":"{count, plural, zero {# faili} one {# fails} other {# faili}}","codex.applyDropdown.header.rows":"rindas","codex.applyDropdown.header.title":"Piemērot izmaiņas","codex.applyDropdown.header.workspace":"Projekts","codex.applyDropdown.results.conflicted":"{count, plural, zero {{count} failu konflikti:} one {1 faila konflikts:} other {{count} failu konflikti:}}","codex.applyDropdown.results.empty":"Faili netika kopēti","codex.applyDropdown.results.skipped":"{count, plural, zero {Izlaisti {count} faili:} one {Izlaists 1 fails:} other {Izlaisti {count} faili:}}","codex.applyOrRevertBanner.apply":"Apstiprināt","codex.applyOrRevertBanner.applyMessage":"Piemērot izmaiņas un turpināt lokāli?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Šis uzdevums tika izveidots {environment}, tāpēc to var nebūt iespējams to piemērot pilnībā.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Izmaiņas tika veiktas {environment}, tāpēc tās var nebūt iespējams piemērot pilnībā.","codex.applyOrRevertBanner.reapply":"Piemērot atkārtoti","codex.applyOrRevertBanner.revert":"Atsaukt","codex.applyOrRevertBanner.revertMessage":"Atsaukt piemērotās izmaiņas?","codex.applyResultsDialog.applied":"Piemērots pilnībā ({count})","codex.applyResultsDialog.close":"Aizvērt","codex.applyResultsDialog.conflicted":"Konflikts ({count})","codex.applyResultsDialog.noDetails":"Nav pieejama informācija par failu.","codex.applyResultsDialog.skipped":"Izlaists ({count})","codex.applyResultsDialog.title":"Piemērot rezultātus","codex.archiveInfo":"Skatīt arhivētas tērzētavas {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Datu kontroles","codex.archiveInfo.electron":"Skatīt arhivētas tērzētavas {settingsLink}","codex.archiveInfo.extension":"Skati arhivētās tērzētavas .codex mapē.","codex.archiveInfo.settingsLink":"Iestatījumi","codex.banner.content.description":"Izpildi uzdevumus vienlaicīgi, seko līdzi to gaitai jebkur un pārskati PR ar MI palīdzību.","codex.banner.content.headline":"Codex spēj visu.","codex.cloudTaskRow.archiveTask":"Arhivēt uzdevumu","codex.cloudTaskRow.confirmArchiveTask":"Apstiprināt","codex.command.feedback":"Atsauksme","codex.command.findInThread":"Meklēt","codex.command.forceReloadSkills":"Piespiest prasmju pārlādēšanu","codex.command.logOut":"Atteikties","codex.command.manageTasks":"Pārvaldīt uzdevumus","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Atpakaļ","codex.command.navigateForward":"Pārsūtīt","codex.command.newThread":"Jauns pavediens","codex.command.nextThread":"Nākamais pavediens","codex.command.openFolder":"Atvērt mapi","codex.command.openSkills":"Doties uz prasmēm","codex.command.openThreadOverlay":"Atvērt pavedienu jaunā logā","codex.command.personalitySettings":"Personība","codex.command.previousThread":"Iepriekšējais pavediens","codex.command.settings":"Iestatījumi","codex.command.toggleDiffPanel":"Pārslēgt atšķirību paneli","codex.command.toggleSidebar":"Pārslēgt sānu joslu","codex.command.toggleTerminal":"Pārslēgt termināli","codex.commandGroup.app":"Lietotne","codex.commandGroup.configure":"Konfigurēšana","codex.commandGroup.navigation":"Navigācija","codex.commandGroup.panels":"Paneļi","codex.commandGroup.skills":"Prasmes","codex.commandGroup.thread":"Pavediens","codex.commandGroup.workspace":"Projekts","codex.commandMenu.noResults":"Nav atbilstību","codex.commandMenu.searchPlaceholder":"Meklēšanas komandas","codex.commandMenu.suggestedGroup":"Ieteikumi","codex.commandMenu.switchWorkspace":"Pāriet uz citu projektu","codex.commandMenu.title":"Komandu izvēlne","codex.common.retry":"Mēģināt vēlreiz","codex.composer.searchBranches":"Meklēt atzarojumus","codex.dialog.basic.body":"Šis ir vienkāršs modālais dialogs, kas izmanto mūsu apvalku ap Radix Dialog.","codex.dialog.basic.cancel":"Atcelt","codex.dialog.basic.confirm":"Apstiprināt","codex.dialog.basic.open":"Atvērt dialoglogu","codex.dialog.basic.title":"Parauga dialoglogs","codex.dialog.long.close":"Aizvērt","codex.dialog.long.line":"Ritināma rinda {index}, kas dialoglogā demonstrē garu saturu.","codex.dialog.long.open":"Atvērt garu dialoglogu","codex.dialog.long.title":"Gara satura dialoglogs","codex.dialog.unstyled.body":"Šis stāsts parāda, kā zvanītāji var pilnībā kontrolēt dialoga satura stilu.","codex.dialog.unstyled.open":"Atvērt dialogu bez stila","codex.dialog.unstyled.title":"Saturs bez stila","codex.diff.openInEditorPrompt.openButton":"Atvērt redaktorā","codex.diff.openInEditorPrompt.singleLine":"Fails ir pārāk liels, lai to šeit parādītu.","codex.diffView.failedToDecodeBase64Diff":"Neizdevās dekodēt base64 atšķirības","codex.diffView.filesChanged":"{fileCount, plural, zero {Mainīti # faili} one {Mainīts # fails} other {Mainīti # faili}}","codex.diffView.imagePreviewAlt":"Attēla priekšskatījums","codex.diffView.imagePreviewEmpty":"Nav attēla","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nav atšķirību datu","codex.diffView.pdfPreview.nextPage":"Nākamā lapa","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Iepriekšējā lapa","codex.diffView.pdfPreviewEmpty":"Nav PDF priekšskatījuma","codex.diffView.pdfPreviewError":"Neizdevās renderēt PDF priekšskatījumu","codex.diffView.richPreviewDisable":"Atspējot detalizētu priekšskatījumu","codex.diffView.richPreviewEnable":"Iespējot detalizētu priekšskatījumu","codex.diffView.richPreviewLoading":"Ielādē priekšskatījumu…","codex.diffView.richPreviewToggle":"Pārslēgt detalizētu priekšskatījumu","codex.diffView.switchToUnified":"Pāriet uz vienoto atšķirību skatu","codex.environmentSelector.noEnvironment":"Nav vides","codex.environments.environmentSettings":"Vides iestatījumi","codex.environments.learnMore":"Uzzini vairāk","codex.environments.listError":"Neizdevās ielādēt vides.","codex.environments.noEnvironmentsFound":"Nav atrasta neviena vide","codex.environments.searchError":"Neizdevās meklēt vides.","codex.errorBoundary.genericError":"Ak vai, radās kļūda","codex.errorBoundary.goHome":"Mēģināt vēlreiz","codex.file.patch.missing":"Neizdevās izveidot labojumu šim failam.","codex.gallery.automations.cwdLabel":"Projekti","codex.gallery.automations.nameLabel":"Vārds / nosaukums","codex.gallery.automations.namePlaceholder":"Apkopo uzdevumu","codex.gallery.automations.promptLabel":"Uzvedne","codex.gallery.automations.promptPlaceholder":"Norādi, ko Codex vajadzētu darīt","codex.gallery.dialogs.automation.label":"Automatizācijas dialoglogs","codex.gallery.dialogs.basic.body":"Izmanto šo izkārtojumu vienkāršiem apstiprinājumiem vai īsām veidlapām.","codex.gallery.dialogs.basic.cancel":"Atcelt","codex.gallery.dialogs.basic.confirm":"Apstiprināt","codex.gallery.dialogs.basic.label":"Pamata dialoglogs","codex.gallery.dialogs.basic.title":"Parauga dialoglogs","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Apraksti problēmu","codex.gallery.dialogs.feedbackSubmission.bad":"Slikts rezultāts","codex.gallery.dialogs.feedbackSubmission.bug":"Kļūda","codex.gallery.dialogs.feedbackSubmission.good":"Labs rezultāts","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Iekļaut pašreizējās Codex sesijas žurnālus","codex.gallery.dialogs.feedbackSubmission.label":"Atsauksmes iesniegšana","codex.gallery.dialogs.feedbackSubmission.other":"Cits","codex.gallery.dialogs.feedbackSubmission.placeholder":"Apraksti problēmu šeit","codex.gallery.dialogs.feedbackSubmission.submit":"Iesniegt","codex.gallery.dialogs.feedbackSubmission.title":"Atsauksme","codex.gallery.dialogs.feedbackSuccess.body":"Atsauksme augšupielādēta. Ja problēma saglabājas, atver GitHub jautājumu vai norādi tēmas identifikatoru esošā atvērtā jautājumā:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Nerādīt","codex.gallery.dialogs.feedbackSuccess.label":"Atsauksme veiksmīgi iesniegta","codex.gallery.dialogs.feedbackSuccess.title":"Atsauksme ir augšupielādēta","codex.gallery.dialogs.gitApplyResults.applied":"Piemērots pilnībā (2)","codex.gallery.dialogs.gitApplyResults.close":"Aizvērt","codex.gallery.dialogs.gitApplyResults.conflicted":"Radies konflikts (1)","codex.gallery.dialogs.gitApplyResults.label":"Piemērot rezultātus","codex.gallery.dialogs.gitApplyResults.title":"Piemērot rezultātus","codex.gallery.dialogs.gitPushError.body":"Izveido jaunāko izmaiņu pull pieprasījumu vai veic piespiedu augšupielādi, ja zini, ka attālo vēsturi var droši pārrakstīt.","codex.gallery.dialogs.gitPushError.cancel":"Atcelt","codex.gallery.dialogs.gitPushError.force":"Piespiedu augšupielāde","codex.gallery.dialogs.gitPushError.label":"Augšupielādes kļūda","codex.gallery.dialogs.gitPushError.subtitle":"Tavs atzarojums atrodas aiz origin/main.","codex.gallery.dialogs.gitPushError.title":"Neizdevās augšupielādēt izmaiņas","codex.gallery.dialogs.gitRevert.cancel":"Atcelt","codex.gallery.dialogs.gitRevert.confirm":"Atsaukt","codex.gallery.dialogs.gitRevert.label":"Atsaukt izmaiņas","codex.gallery.dialogs.gitRevert.skip":"Nejautājiet vēlreiz","codex.gallery.dialogs.gitRevert.subtitle":"Šī rīcība noņems visas šīs izmaiņas.","codex.gallery.dialogs.gitRevert.title":"Atsaukt izmaiņas?","codex.gallery.dialogs.longForm.label":"Garas veidlapas dialoglogs","codex.gallery.dialogs.proseModal.body":"Šis modālā loga stils tiek izmantots garākām norādēm, apmācībai un sarežģītiem satura blokiem.","codex.gallery.dialogs.proseModal.close":"Aizvērt","codex.gallery.dialogs.proseModal.subtitle":"Šeit vari koplietot garākas norādes vai dokumentāciju.","codex.gallery.dialogs.proseModal.title":"Prozas modālais logs","codex.gallery.dialogs.submitBlocked.label":"Iesniegšana bloķēta","codex.gallery.dialogs.submitBlocked.message":"Tavu ziņojumu neizdevās nosūtīt, jo projekts nav pieejams.","codex.gallery.dialogs.submitBlocked.ok":"Labi","codex.gallery.dialogs.submitBlocked.title":"Neizdevās nosūtīt ziņojumu","codex.gallery.dialogs.title":"Dialoglogi","codex.gallery.dropdown.filterPlaceholder":"Filtrēt vienumus","codex.gallery.dropdowns.actionRow":"Rīcību rindas","codex.gallery.dropdowns.actionRow.disabled":"Atspējota rīcība","codex.gallery.dropdowns.actionRow.primary":"Galvenā rīcība","codex.gallery.dropdowns.actionRow.secondary":"Sekundārā rīcība","codex.gallery.dropdowns.actionRow.trigger":"Rādīt rīcības","codex.gallery.dropdowns.basic":"Vienkārša nolaižamā izvēlne","codex.gallery.dropdowns.basic.newFile":"Jauns fails","codex.gallery.dropdowns.basic.newFolder":"Jauna mape","codex.gallery.dropdowns.basic.openSettings":"Atvērt iestatījumus","codex.gallery.dropdowns.basic.title":"Ātrās rīcības","codex.gallery.dropdowns.basic.trigger":"Atvērt izvēlni","codex.gallery.dropdowns.basic.upload":"Augšupielādēt","codex.gallery.dropdowns.panel":"Paneļa virsma","codex.gallery.dropdowns.panel.apply":"Apstiprināt","codex.gallery.dropdowns.panel.body":"Pārskati atšķirības un piemēro tās savam projektam.","codex.gallery.dropdowns.panel.preview":"Priekšskatījums","codex.gallery.dropdowns.panel.title":"Piemērot izmaiņas","codex.gallery.dropdowns.panel.trigger":"Atvērt paneli","codex.gallery.dropdowns.search":"Meklējama nolaižamā izvēlne","codex.gallery.dropdowns.search.first":"Alfa kanāls","codex.gallery.dropdowns.search.second":"Beta atzarojums","codex.gallery.dropdowns.search.third":"Izlaides kandidāts","codex.gallery.dropdowns.search.trigger":"Filtrēt vienumus","codex.gallery.dropdowns.submenu":"Nolaižamā izvēlne ar apakšizvēlni","codex.gallery.dropdowns.submenu.optionA":"Projekts alfa","codex.gallery.dropdowns.submenu.optionB":"Projekts beta","codex.gallery.dropdowns.submenu.optionC":"Projekts gamma","codex.gallery.dropdowns.submenu.primary":"Piešķirt īpašnieku","codex.gallery.dropdowns.submenu.secondary":"Pārvietot uz","codex.gallery.dropdowns.submenu.tertiary":"Arhivēt","codex.gallery.dropdowns.submenu.trigger":"Izvēlies rīcību","codex.gallery.dropdowns.title":"Nolaižamās izvēlnes","codex.gallery.inbox.automations.close":"Aizvērt","codex.gallery.inbox.automations.popover.cardTitle":"Pārvaldīt automatizācijas","codex.gallery.inbox.automations.popover.dialogTitle":"Pārvaldīt automatizācijas","codex.header.settingsTooltip":"Iestatījumi","codex.hunk.patch.error":"Neizdevās sagatavot","codex.hunk.patch.missing":"Neizdevās izveidot labojumu šim hunk.","codex.hunk.patch.partialSuccess":"Daļēji veiksmīgi","codex.hunk.patch.revertError":"Neizdevās atcelt sagatavošanu","codex.hunk.patch.revertSuccess":"Sagatavošana veiksmīgi atcelta","codex.hunk.patch.success":"Sagatavošana veiksmīgi pabeigta","codex.legal.autonomy.details":"Sīkāku informāciju skati {link}","codex.legal.autonomy.details.link":"Codex dokumentācijā","codex.legal.autonomy.title":"Nosaki, cik lielu autonomiju vēlies piešķirt","codex.legal.backButton":"Atpakaļ","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt.","codex.legal.cloud.taskOne.title":"Izskaidro repozitoriju jaunam izstrādātājam","codex.legal.cloud.taskThree.meta":"openai/codex · 8. okt.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Izveido tumšā režīma motīvu","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Labo kļūdu apmācības procesā","codex.legal.continue.apikey":"Turpināt","codex.legal.continueButton":"Tālāk","codex.legal.copilot.details":"Izmanto savu Copilot plānu visiem modeļu saucieniem, rēķiniem un lietojuma limitiem. Codex paplašinājuma izmantošana ir pakļauta gan {oaiTos}, gan {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHub pakalpojumu sniegšanas noteikumiem","codex.legal.copilot.oaiTosLink":"OpenAl Codex pakalpojumu sniegšanas noteikumiem","codex.legal.copilot.title":"Darbina GitHub Copilot","codex.legal.mistakes.review":"Pārskati kodu, ko tas raksta, un komandas, ko tas izpilda","codex.legal.mistakes.title":"Codex var pieļaut kļūdas","codex.legal.powered.details":"Izmanto sava plāna lietojuma limitus un {link}","codex.legal.powered.details.link":"apmācību datu iestatījumus","codex.legal.powered.title":"Darbina tavs ChatGPT konts","codex.legal.step.cloud.subtitle":"Nosūti uzdevumus Codex, lai tie tiktu izpildīti fonā, ļaujot tev strādāt ātrāk.","codex.legal.step.cloud.title":"Nodot Codex mākonī","codex.legal.step.intro.subtitle":"Codex pārlūko, rediģē, izpilda komandas un veic testus tieši tavā repozitorijā. To darbina tavs ChatGPT konts.","codex.legal.step.intro.title":"Codex tavā IDE","codex.legal.step.todo.subtitle":"Uzraksti TODO komentāru un pārvērt to Codex uzdevumā ar vienu klikšķi.","codex.legal.step.todo.title":"Pārvērt TODO Codex uzdevumos","codex.legal.todo.heading":"// TODO: ieviest shēmu","codex.localConversation.closeImagePreview":"Aizvērt attēla priekšskatījumu","codex.localConversation.userImageAttachment":"Lietotāja pielikums","codex.localTaskRow.archiveTask":"Arhivēt pavedienu","codex.localTaskRow.awaitingApproval":"Gaida apstiprinājumu","codex.localTaskRow.awaitingResponse":"Gaida atbildi","codex.localTaskRow.confirmArchiveTask":"Apstiprināt","codex.loggedOut.apiKeyPrompt.cancel":"Atcelt","codex.loggedOut.apiKeyPrompt.confirm":"Labi","codex.loggedOut.apiKeyPrompt.getKey":"Iegūt API atslēgu","codex.loggedOut.apiKeyPrompt.inputLabel":"Ievadi savu OpenAI API atslēgu","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Mākoņuzdevumi atspējoti ar API atslēgu","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Mākoņuzdevumi atspējoti ar Copilot un API atslēgu","codex.loggedOut.signIn":"Pierakstīties ar ChatGPT","codex.loggedOut.signIn.cancel":"Atcelt pierakstīšanos","codex.loggedOut.signInWithCopilot":"Pierakstīties ar GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Izmantot API atslēgu","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} rīks","codex.mcpTool.collapsedLabel.verb.called":"Izsauca","codex.mcpTool.collapsedLabel.verb.calling":"Izsauc","codex.mcpTool.embeddedResource.contentLabel":"Saturs","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME tips","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Rīks neatrada saturu","codex.mcpTool.rawPayloadHeading":"Neapstrādāts {server}.{tool} rīka sauciena vērtums","codex.menu.recent":"Nesenie","codex.menu.seeAllHistory":"Skatīt visu vēsturi","codex.modelCapacityBanner.headline.noReset":"{modelName} šobrīd ir pilnībā noslogots. Mēģini vēlreiz vēlāk vai sāc jaunu sarunu ar citu modeli.","codex.modelCapacityBanner.headline.withReset":"{modelName} šobrīd ir pilnībā noslogots. Mēģini vēlreiz pēc {resetDate} vai sāc jaunu sarunu ar citu modeli.","codex.modelCapacityBanner.title":"Atlasītais modelis ir pilnībā noslogots","codex.patch.change.contentsDeleted":"Saturs ir dzēsts","codex.patch.change.created":"Izveidots","codex.patch.change.created-file":"Fails izveidots","codex.patch.change.creating":"Veic izveidi","codex.patch.change.deleted":"Dzēsta","codex.patch.change.deleted-file":"Fails dzēsts","codex.patch.change.deleting":"Dzēš","codex.patch.change.edited":"Rediģēts","codex.patch.change.edited-file":"Rediģēts fails","codex.patch.change.editing":"Rediģē","codex.patch.change.noChanges":"Nav izmaiņu","codex.patch.change.rejected-add":"Noraidīts","codex.patch.change.rejected-delete":"Noraidīts","codex.patch.change.rejected-edit":"Noraidīts","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Pabeigti {completed} uzdevumi no {total}","codex.plan.todoListCreated":"Veicamo uzdevumu saraksts izveidots ar {total} uzdevumiem","codex.profileDropdown.apiKeyAuth":"Pieteicies ar API atslēgu","codex.profileDropdown.codexSettings":"Codex iestatījumi","codex.profileDropdown.copilotAuth":"Pieteicies ar Copilot","codex.profileDropdown.defaultAccountTitle":"Noklusējuma konts","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter, lai nosūtītu garas uzvednes","codex.profileDropdown.enterBehaviorError":"Neizdevās atjaunināt iestatījumu","codex.profileDropdown.getPlus":"Uzlabo plānu, lai iegūtu lielākus limitus","codex.profileDropdown.keyboardShortcuts":"Īsinājumtaustiņi","codex.profileDropdown.language":"Valoda","codex.profileDropdown.languageDefault":"Automātiski noteikt","codex.profileDropdown.languageSearchPlaceholder":"Meklēt valodas","codex.profileDropdown.languageUpdateError":"Neizdevās atjaunināt valodu","codex.profileDropdown.logOut":"Atteikties","codex.profileDropdown.mcp":"MCP iestatījumi","codex.profileDropdown.openConfigToml":"Atvērt config.toml","codex.profileDropdown.openConfigToml.wsl":"Atvērt config.toml WSL vidē","codex.profileDropdown.openExtensionSettings":"Atvērt iestatījumus","codex.profileDropdown.openMcpSettings":"Atvērt MCP iestatījumus","codex.profileDropdown.openOnStartup":"Atvērt pēc ieslēgšanas","codex.profileDropdown.openOnStartupError":"Neizdevās atjaunināt iestatījumu","codex.profileDropdown.openSkillsSettings":"Atvērt prasmju iestatījumus","codex.profileDropdown.personalAccountTitle":"Personīgais konts","codex.profileDropdown.queueFollowUps":"Ievieto papildjautājumus rindā","codex.profileDropdown.queueFollowUpsError":"Neizdevās atjaunināt iestatījumu","codex.profileDropdown.readDocs":"Lasīt dokumentāciju","codex.profileDropdown.readSkillsDocs":"Lasīt dokumentāciju","codex.profileDropdown.runInWsl":"Izpildīt WSL","codex.profileDropdown.runInWslError":"Neizdevās atjaunināt iestatījumu","codex.profileDropdown.runInWslTooltip":"Izpilda Codex WSL vidē. Ieteicams uzlabotai izolācijas drošībai un labākai veiktspējai.","codex.profileDropdown.settings":"IDE iestatījumi","codex.profileDropdown.settingsPage":"Iestatījumi","codex.profileDropdown.signInWithOpenAI":"Pierakstīties ar ChatGPT","codex.profileDropdown.skills":"Prasmju iestatījumi","codex.profileDropdown.switchToCopilotAccount":"Izmantot Copilot kontu","codex.profileDropdown.switchToOpenAIAccount":"Izmantot OpenAl kontu","codex.profileDropdown.todoCodelens":"Labot TODO komentārus","codex.profileDropdown.todoCodelensError":"Neizdevās atjaunināt iestatījumu","codex.profileDropdown.windowsDocumentation":"Windows dokumentācija","codex.profileFooter.signedInFallback":"Iestatījumi","codex.profileFooter.upgrade":"Uzlabot","codex.recentTasksMenu.clearSearch":"Dzēst meklējumu","codex.recentTasksMenu.cloud":"Mākoņuzdevumi","codex.recentTasksMenu.count":"{count, plural, =0 {Nav nepabeigtu uzdevumu} zero {# nepabeigti uzdevumi} one {# nepabeigts uzdevums} other {# nepabeigti uzdevumi}}","codex.recentTasksMenu.empty":"Nav pavedienu","codex.recentTasksMenu.errorCloud":"Neizdevās ielādēt uzdevumus.","codex.recentTasksMenu.errorCloud.inline":"Neizdevās ielādēt mākoņuzdevumus.","codex.recentTasksMenu.filterAll":"Visi","codex.recentTasksMenu.filterCloudTasks":"Filtrēt mākoņuzdevumus","codex.recentTasksMenu.filterTooltip":"Filtrēt uzdevumus pēc vides","codex.recentTasksMenu.local":"Lokālie uzdevumi","codex.recentTasksMenu.recent":"Visi uzdevumi","codex.recentTasksMenu.search":"Meklēt nesenos uzdevumus","codex.recentTasksMenu.searchEmpty":"Nav rezultātu","codex.recentTasksMenu.tooltip":"Uzdevumu vēsture","codex.recentTasksMenu.trigger":"Nesenie uzdevumi. {count, plural, zero {Tiek veikti #} one {Tiek veikts #} other {Tiek veikti #}}","codex.remoteConversation.applyDiff.applyCta":"Piemērot izmaiņas","codex.remoteConversation.applyDiff.dropdownTitle":"Piemērot izmaiņas lokālā atzarojumā","codex.remoteConversation.applyDiff.revertCta":"Atsaukt izmaiņas","codex.remoteConversation.closeImagePreview":"Aizvērt attēla priekšskatījumu","codex.remoteConversation.codexCloudTask":"Tiek skatīts <u>Codex Cloud</u> uzdevums","codex.remoteConversation.errorWithMessage":"Kļūda: {message}","codex.remoteConversation.loadingImage":"Ielādē attēlu","codex.remoteConversation.openInWeb":"Atvērt tīmeklī","codex.remoteConversation.streaming":"Sāk procesu","codex.remoteConversation.turnFailed":"Uzdevuma izpildes laikā radās kļūda","codex.remoteConversation.turnTab.loading":"{number}. mēģinājums","codex.remoteConversation.turnTab.title":"{number}. mēģinājums","codex.remoteConversation.userImageAttachment":"Lietotāja pielikums","codex.remoteConversation.viewPreviousTurns":"Atvērt tīmeklī","codex.remoteConversation.viewPreviousTurns.buttonText":"Atvērts","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Atvērt tīmeklī","codex.review.copyGitApplyCommand":"Kopēt git apply komandu","codex.review.copyGitApplyCommand.toast":"Komanda git apply kopēta uz starpliktuvi","codex.review.diffTooLarge.description":"Šis atšķirību fails ir pārāk liels, lai to parādītu pārskatā.","codex.review.diffTooLarge.title":"Atšķirību fails ir pārāk liels, lai to parādītu","codex.review.expandOrCollapseDiffButton.collapse":"Sakļaut visas atšķirības","codex.review.expandOrCollapseDiffButton.expand":"Izvērst visas atšķirības","codex.review.expandOrCollapseDiffMenu.collapse":"Sakļaut visas atšķirības","codex.review.expandOrCollapseDiffMenu.expand":"Izvērst visas atšķirības","codex.review.fileSearch.clear":"Dzēst failu filtru","codex.review.fileSearch.empty":"Neviens fails neatbilst pašreizējam filtram.","codex.review.fileSearch.label":"Filtrēt failus","codex.review.fileSearch.placeholder":"Filtrēt failus…","codex.review.filesChanged":"{num, plural, =0 {Nav mainītu failu} zero {Mainīti # faili} one {Mainīts # fails} other {Mainīti # faili}}","codex.review.find.loadMore":"Ielādēt vairāk atbilstību","codex.review.fullReview.hideFileTree":"Paslēpt failu koku","codex.review.fullReview.showFileTree":"Rādīt failu koku","codex.review.header.moreOptions":"Pārskatīšanas opcijas","codex.review.largeDiff.banner":"Atklāts liels atšķirību fails – vienlaicīgi tiek parādīts viens fails.","codex.review.loadFullFiles.disable":"Neielādēt pilnus failus","codex.review.loadFullFiles.enable":"Ielādēt pilnus failus","codex.review.noDiff":"Izmaiņas failā tiks parādītas šeit","codex.review.noDiff.gitInit.createRepository":"Izveidot git repozitoriju","codex.review.noDiff.gitInit.creating":"Tiek izveidots…","codex.review.noDiff.gitInit.error":"Git init kļūda: {message}","codex.review.noDiff.gitInit.success":"Git repozitorijs izveidots","codex.review.noDiff.gitRepoRequired.description":"Izseko un atcel izmaiņas šajā projektā","codex.review.noDiff.gitRepoRequired.title":"Izveidot Git repozitoriju","codex.review.noDiff.orNoLongerAvailable":"vai jaunākās atšķirības vairs nav pieejamas","codex.review.noDiff.reverted":"Pēdējā kārta ir atcelta","codex.review.noDiff.revertedOrCommitted":"Pēdējā kārta ir atcelta vai apstiprināta","codex.review.refreshGitQueries":"Atsvaidzināt","codex.review.revert.file.error":"Neizdevās atsaukt {path}","codex.review.revert.file.partialSuccess":"Daļēji atsaukts {path}","codex.review.revert.file.success":"Atsaukts {path}","codex.review.revert.hunk.error":"Neizdevās atsaukt hunk {hunkNumber} {path}","codex.review.revert.hunk.partialSuccess":"Hunk {hunkNumber} daļēji atsaukts {path}","codex.review.revert.hunk.success":"Hunk {hunkNumber} atsaukts {path}","codex.review.revert.section.error":"Neizdevās atsaukt sadaļu","codex.review.revert.section.partialSuccess":"Sadaļa daļēji atsaukta","codex.review.revert.section.success":"Sadaļa atsaukta","codex.review.revertDialog.cancel":"Atcelt","codex.review.revertDialog.confirm":"Apstiprināt","codex.review.revertDialog.message":"Šī rīcība noņems visas šīs izmaiņas.","codex.review.revertDialog.skip":"Nejautājiet vēlreiz","codex.review.revertDialog.title":"Atsaukt izmaiņas?","codex.review.richPreview.disable":"Atspējot detalizētu priekšskatījumu","codex.review.richPreview.enable":"Iespējot detalizētu priekšskatījumu","codex.review.source.cloud":"Izmaiņas mākonī","codex.review.source.local.all":"Visas izmaiņas atzarojumā","codex.review.source.local.lastTurn":"Izmaiņas pēdējā kārtā","codex.review.source.local.uncommitted":"Neapstiprinātās izmaiņas","codex.review.source.worktree":"Neapstiprinātas worktree izmaiņas","codex.review.stageFilter.empty.staged.description":"Apstiprini izmaiņas, lai tās sagatavotu","codex.review.stageFilter.empty.staged.title":"Nav sagatavotu izmaiņu","codex.review.stageFilter.empty.unstaged.description":"Izmaiņas kodā tiks parādītas šeit.","codex.review.stageFilter.empty.unstaged.title":"Nav nesagatavotu izmaiņu.","codex.review.stageFilter.staged":"Sagatavotas","codex.review.stageFilter.staged.count":"Sagatavotas · {count}","codex.review.stageFilter.unstaged":"Nesagatavotas","codex.review.stageFilter.unstaged.count":"Nesagatavotas · {count}","codex.review.switchToSplit":"Pāriet uz dalīto atšķirību skatu","codex.review.switchToUnified":"Pāriet uz vienoto atšķirību skatu","codex.review.toggleDiffView":"Pārslēgt atšķirību skatu","codex.review.wordDiffs.disable":"Atspējot atšķirības vārdos","codex.review.wordDiffs.enable":"Iespējot atšķirības vārdos","codex.review.wrap.disable":"Atspējot teksta aplaušanu","codex.review.wrap.enable":"Iespējot teksta aplaušanu","codex.section.patch.missing":"Neizdevās izveidot labojumu šai sadaļai.","codex.shell.collapse":"Sakļaut čaulu","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kopēts čaulas saturs","codex.shell.copy.copyTooltip":"Kopēt čaulas saturu","codex.shell.copyCommand":"Kopēt komandu","codex.shell.copyOutput":"Kopēt izvadi","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Izvērst čaulu","codex.shell.name":"Čaula","codex.shell.noOutput":"Nav izvades","codex.signInFailed.message":"Pierakstīšanās neizdevās: {rawMessage}","codex.stories.toast.show":"Rādīt paziņojumu","codex.stories.tooltip.basic":"Šī ir paskaidre","codex.stories.tooltip.hoverMe":"Novieto kursoru virs manis","codex.stories.tooltip.largerOffset":"Šai paskaidrei ir lielāka nobīde","codex.stories.tooltip.offsetButton":"Lielāka nobīde","codex.stories.tooltip.shortcutButton":"Ar saīsni","codex.stories.tooltip.withShortcut":"Pārslēgt termināli","codex.taskRow.title":"Jauns pavediens","codex.taskRowLayout.confirm":"Apstiprināt","codex.threadFindBar.chatFilter":"Meklēt tērzētavā","codex.threadFindBar.close":"Aizvērt rezultātu","codex.threadFindBar.diffFilter":"Meklēt atšķirības","codex.threadFindBar.label":"Meklēt pavedienā","codex.threadFindBar.nextResult":"Nākamais rezultāts","codex.threadFindBar.noResults":"0 rezultātu","codex.threadFindBar.placeholder":"Meklēt pavedienā…","codex.threadFindBar.placeholder.extension":"Meklēt pavedienā…","codex.threadFindBar.placeholder.review":"Meklēt atšķirības…","codex.threadFindBar.placeholder.review.extension":"Meklēt atšķirības…","codex.threadFindBar.previousResult":"Iepriekšējais rezultāts","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, zero {Mainīti # faili} one {Mainīts # fails} other {Mainīti # faili}}","codex.unifiedDiff.inlineLargeFile":"Pārāk liels, lai attēlotu kā iekļautu","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Atsaukt","codex.unifiedDiff.revertPatchError":"Neizdevās atcelt izmaiņas","codex.unifiedDiff.revertPatchSuccess":"Izmaiņas ir atceltas","codex.unifiedDiff.reviewChangesSuffix":"izmaiņas","codex.unifiedDiff.reviewShort":"Pārskats","codex.unifiedDiff.viewDiffTooltip":"Pārskats","codex.upsellBanner.business.headline":"Lai tagad iegūtu plašāku piekļuvi, nosūti pieprasījumu savam administratoram, vai gaidi līdz {resetDate}.","codex.upsellBanner.cbp.headline":"Lai tagad iegūtu plašāku piekļuvi, nosūti pieprasījumu savam administratoram.","codex.upsellBanner.cta.addCredits":"Pievienot kredītus","codex.upsellBanner.cta.upgradeAccount":"Uzlabot","codex.upsellBanner.cta.viewUsage":"Skatīt lietošanas datus","codex.upsellBanner.free.trialHeadline":"Tavs lietojuma limits tiks atiestatīts {resetDate}. Lai turpinātu izmantot Codex un iegūtu piekļuvi GPT-5.3-Codex, sāc bezmaksas Plus izmēģinājumu jau šodien.","codex.upsellBanner.freeOrGo.headline":"Tavs lietojuma limits tiks atiestatīts {resetDate}. Lai turpinātu izmantot Codex, uzlabo plānu uz Plus.","codex.upsellBanner.general.headline":"Tavs lietojuma limits tiks atiestatīts {resetDate}.","codex.upsellBanner.general.title":"Beigušies pieejamie Codex ziņojumi","codex.upsellBanner.go.trialHeadline":"Tavs lietojuma limits tiks atiestatīts {resetDate}. Lai turpinātu izmantot Codex, sāc bezmaksas Plus izmēģinājumu jau šodien. ","codex.upsellBanner.plus.headline":"Tavs lietojuma limits tiks atiestatīts {resetDate}. Lai turpinātu izmantot Codex, pievieno kredītus vai uzlabo plānu uz Plus.","codex.upsellBanner.pro.headline":"Tavs lietojuma limits tiks atiestatīts {resetDate}. Lai turpinātu izmantot Codex, pievieno kredītus.","codex.userMessage.autoResolveSync":"Automātiski atrisināt konfliktus","codex.userMessage.commentCount":"{count, plural, zero {# komentāri} one {# komentārs} other {# komentāri}}","codex.userMessage.copiedAriaLabel":"Nokopēts","codex.userMessage.copiedTooltip":"Nokopēts","codex.userMessage.copyAriaLabel":"Kopēt ziņojumu","codex.userMessage.copyTooltip":"Kopēt","codex.userMessage.implementPlan":"Plāna īstenošana","codex.userMessage.noContent":"(Nav satura)","codex.userMessage.priorConversation":"Atsaucas uz iepriekšēju sarunu","codex.userMessage.reviewMode":"Pārskatīšanas režīms","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"vienumiem {query}","codex.webSearch.summary.verb.completed":"Meklēja tīmeklī","codex.webSearch.summary.verb.inProgress":"Meklē tīmeklī","codex.windowsInstallWslBanner.dismiss":"Nerādīt","codex.windowsInstallWslBanner.installWslCta":"Iespējot izolācijas vidi","codex.windowsInstallWslBanner.learnMore":"Uzzini vairāk","codex.windowsSandboxBanner.content":"Aģenta režīms izmanto eksperimentālu Windows izolācijas vidi, lai ierobežotu piekļuvi failu sistēmai un tīklam. {sandboxLink}","codex.windowsSandboxBanner.title":"Iespējot izolācijas vidi aģenta režīmā","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows iestatījumi","codexUpgradeModal.body":"Mūsu jaunākais aģentiskais kodēšanas modelis — viedāks, ātrāks un spējīgāks vispārējos tehniskajos darbos. {link}","codexUpgradeModal.close":"Aizvērt","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Uzzini vairāk","codexUpgradeModal.title":"Iepazīstinām ar GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Izmēģināt GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Turpināt ar pašreizējo modeli","commentAttachments.numComments":"{count, plural, zero {# komentāri} one {# komentārs} other {# komentāri}}","commentAttachments.removeAriaLabel":"Noņemt komentāru pielikumu","common.close":"Aizvērt","composer.addContext.openFilePickerError":"Neizdevās atvērt failu izvēlni","composer.addContextDropdown.ariaLabel":"Failu pievienošana un citas funkcijas","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Failu pievienošana un citas funkcijas","composer.addPhotosAndFiles":"Pievienot fotoattēlus un failus","composer.atMentionList.emptyQuery":"Raksti, lai meklētu failus","composer.atMentionList.loading":"Meklē...","composer.atMentionList.noResults":"Nav rezultātu","composer.attemptsSelector.option":"{count, plural, zero {# versijas} one {# versija} other {# versijas}}","composer.attemptsSelector.tooltip":"Codex paralēlo mēģinājumu skaits","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Apturēt","composer.cloudFollowUp.cloud":"Mākonis","composer.cloudFollowUp.local":"Lokāli","composer.cloudFollowUp.whereRun":"Kur jāveic šī turpmākā izpilde?","composer.cloudTaskCreationError":"Izveidojot mākoņuzdevumu, radās kļūda","composer.cloudTaskError":"Izveidojot uzdevumu, radās kļūda","composer.contextWindow.autoCompactionTooltipLine1":"Codex automātiski saspiež tā kontekstu","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Konteksta periods:","composer.contextWindowUsageStatusFull":"{usage}% pilna","composer.contextWindowUsageStatusLeft":"Izmantots(-i) {usage}% (atliek {remaining}%)","composer.contextWindowUsageTooltip":"Izmantoti {usedTokens} tūkst. žetoni no {contextWindow} tūkst.","composer.customCliTooltip":"Izmantojot pielāgotu CLI izpildāmo failu","composer.dictation.aria":"Diktēšana","composer.dictation.cancel.aria":"Beigt diktēšanu","composer.dictation.cancel.tooltip":"Beigt diktēšanu","composer.dictation.startError":"Neizdevās uzsākt diktēšanu","composer.dictation.submit.aria":"Transkribēt un nosūtīt","composer.dictation.submit.tooltip":"Transkribēt un nosūtīt","composer.dictation.tooltip":"Turi, lai diktētu","composer.dictation.transcribeError":"Neizdevās transkribēt audio","composer.dictation.unsupported":"Diktēšana šajā ierīcē nav pieejama","composer.dropOverlay.holdShift":"Turi nospiestu {key}, lai nomestu","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Izveidot jaunu","composer.environmentSelector.error":"Ielādējot vides, radās kļūda","composer.environmentSelector.goBack":"Atgriezties pie sastādītāja","composer.environmentSelector.title":"Atlasi vidi","composer.environmentSelector.tooltip":"Izvēlies mākoņvidi","composer.feedbackSlashCommand.title":"Atsauksme","composer.filePicker.selectFile":"Atlasi failu","composer.filePicker.selectFiles":"Atlasīt failus","composer.followerTooltip":"Lai turpinātu, atgriezies logā, kurā sākās šī saruna.","composer.footer.branchSwitch.checkoutError":"Neizdevās pārslēgties uz atzarojumu: {message}","composer.footer.branchSwitch.createAndCheckout":"Izveidot un izrakstīt jaunu atzarojumu…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Iesūti izmaiņas, lai izveidotu un izrakstītu jaunu atzarojumu","composer.footer.branchSwitch.createBranchError":"Neizdevās izveidot atzarojumu: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Atzarojuma nosaukums","composer.footer.branchSwitch.createDialog.branchExistsError":"Atzarojums jau pastāv.","composer.footer.branchSwitch.createDialog.close":"Aizvērt","composer.footer.branchSwitch.createDialog.createAndCheckout":"Izveidot un izrakstīt","composer.footer.branchSwitch.createDialog.placeholder":"jauns-atzarojums","composer.footer.branchSwitch.createDialog.title":"Izveidot un izrakstīt atzarojumu","composer.footer.branchSwitch.createDialog.trailingSlashError":"Atzarojuma nosaukums nevar beigties ar “/”.","composer.footer.branchSwitch.tooltip":"Pāriet uz atzarojumu","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Apstiprini izmaiņas {fileCount, plural, zero {# faili} one {# fails} other {# faili}}, lai pārbaudītu {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Apstiprini","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"izmaiņas {fileCount, plural, zero {# faili} one {# fails} other {# faili}}, lai pārbaudītu{branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Atcelt","composer.footer.branchSwitch.uncommittedDialog.commit":"Apstiprini un pārslēdz atzarojumu...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Tavas veiktās izmaiņas šādos failos tiks pārrakstītas, veicot pārbaudīšanu:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Lai turpinātu atlasīto atzarojumu,","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"apstiprini izmaiņas","composer.footer.branchSwitch.uncommittedDialog.title":"Apstiprini izmaiņas, lai pārslēgtu atzarojumu","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Neiesūtītas: {fileCount, plural, zero {# faili} one {# fails} other {# faili}}","composer.forkSlashCommand.description":"Sazarot šo pavedienu lokāli vai jaunā worktree","composer.forkSlashCommand.option.local.description":"Turpināt jaunā lokālā pavedienā","composer.forkSlashCommand.option.local.title":"Sazarot lokāli","composer.forkSlashCommand.option.worktree.description":"Turpināt jaunā worktree","composer.forkSlashCommand.option.worktree.title":"Sazarot jaunā worktree","composer.forkSlashCommand.title":"Kopija","composer.ideContextIndicator":"IDE konteksts","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Iekļaut kontekstu no IDE","composer.ideContextIndicator.tooltipToggle":"lai pārslēgtos","composer.ideContextSlashCommand.disableDescription":"Izslēgt IDE kontekstu","composer.ideContextSlashCommand.enableDescription":"Iekļauj pašreizējo atlasi, atvērtos failus un citu kontekstu no tava IDE","composer.ideContextSlashCommand.title":"IDE konteksts","composer.imageInputsUnsupported":"Šis modelis neatbalsta attēlu ievadi. Izmēģini citu modeli.","composer.imageUploadFailed":"Neizdevās augšupielādēt attēlu","composer.includeIdeContextDropdown":"Iekļaut IDE kontekstu","composer.includeIdeContextDropdown.ariaLabel":"Iekļaut IDE kontekstu","composer.localCwdDropdown.addWorkspaceRoot":"Pievienot jaunu projektu","composer.localCwdDropdown.noActiveRoot":"Izvēlies savu projektu","composer.localCwdDropdown.noResults":"Nav atrastas mapes","composer.localCwdDropdown.title":"Izvēlies savu projektu","composer.localTaskError":"Uzsākot sarunu, radās kļūda","composer.mcpSlashCommand.description":"Rādīt MCP serveru statusu","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nav autentificēts","composer.mcpStatus.authOauth":"Autentificēts (OAuth)","composer.mcpStatus.authToken":"Autentificēts (API atslēga)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Aizvērt","composer.mcpStatus.disabled":"Atspējots","composer.mcpStatus.emptyLabel":"Serveri:","composer.mcpStatus.emptyValue":"Nav konfigurētu MCP serveru","composer.mcpStatus.enabled":"Iespējots","composer.mcpStatus.errorLabel":"Statuss:","composer.mcpStatus.errorValue":"Neizdevās ielādēt MCP statusu","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Aģents","composer.mode.agentMode.auto.dropdownLabel":"Aģents","composer.mode.agentMode.auto.optionLabel":"Aģents","composer.mode.agentMode.changePermission":"Pārslēgt režīmu","composer.mode.agentMode.custom":"Pielāgots","composer.mode.agentMode.custom.dropdownLabel":"Pielāgots","composer.mode.agentMode.custom.option":"Pielāgots (config.toml)","composer.mode.agentMode.custom.optionLabel":"Pielāgots (config.toml)","composer.mode.agentMode.customInfo.cancel":"Atcelt","composer.mode.agentMode.customInfo.cli":"Šos iestatījumus var pielāgot no CLI vai tieši rediģējot failu.","composer.mode.agentMode.customInfo.confirm":"Izmantot pielāgoto režīmu","composer.mode.agentMode.customInfo.description":"Pielāgotais režīms piemēro apstiprināšanas un izolācijas politikas, kas noteiktas <link>config.toml</link> failā.","composer.mode.agentMode.customInfo.docs":"Uzzini vairāk par apstiprināšanas un izolācijas politiku konfigurēšanu <link>izpildes vides dokumentācijā</link>.","composer.mode.agentMode.customInfo.refresh":"Visas izmaiņas stājas spēkā nākamajā reizē, kad aģents tiek palaists.","composer.mode.agentMode.customInfo.title":"Kā darbojas pielāgotais režīms","composer.mode.agentMode.fullAccess":"Aģents (pilnīga piekļuve)","composer.mode.agentMode.fullAccess.dropdownLabel":"Aģents (pilnīga piekļuve)","composer.mode.agentMode.fullAccess.optionLabel":"Aģents (pilnīga piekļuve)","composer.mode.agentMode.fullAccessConfirm.caution":"Esi uzmanīgs, iespējojot pilnīgu piekļuvi. Tas būtiski palielina datu zaudējuma, noplūdes vai negaidītas darbības risku.","composer.mode.agentMode.fullAccessConfirm.confirm":"Jā, turpināt","composer.mode.agentMode.fullAccessConfirm.description":"Kad Codex darbojas ar pilnīgu piekļuvi, tas var rediģēt jebkuru failu tavā datorā un izpildīt komandas tīklā bez tava apstiprinājuma.","composer.mode.agentMode.fullAccessConfirm.goBack":"Atcelt","composer.mode.agentMode.fullAccessConfirm.title":"Iespējot pilnīgu piekļuvi?","composer.mode.agentMode.readOnly":"Tērzētava","composer.mode.agentMode.readOnly.dropdownLabel":"Tērzētava","composer.mode.agentMode.readOnly.optionLabel":"Tērzētava","composer.mode.agentMode.tooltip":"Pārslēgt režīmu","composer.mode.agentMode.tooltip.auto":"Lasīt un rediģēt failus, kā arī izpildīt komandas.","composer.mode.agentMode.tooltip.custom":"Izmantot jaunākās apstiprināšanas un izolācijas politikas, kas noteiktas config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex var rediģēt failus ārpus šī projekta un izpildīt komandas ar tīkla piekļuvi. Lietot piesardzīgi.","composer.mode.agentMode.tooltip.readOnly":"Failu rediģēšanai un komandu izpildei nepieciešama apstiprināšana.","composer.mode.cloud.tooltip":"Strādā mākoņvidē","composer.mode.contactAdmin":"Lai iegūtu plašāku piekļuvi, sazinies ar savu administratoru","composer.mode.local":"Lokāli","composer.mode.local.learnMore":"Uzzini vairāk","composer.mode.local.model.custom":"Pielāgots","composer.mode.local.model.loadingModel":"Ielādē modeli","composer.mode.local.model.selecrReasoningEffort":"Atlasīt apsvēršanas spējas","composer.mode.local.model.selectModel":"Atlasīt modeli","composer.mode.local.model.tooltip":"Izvēlēties modeli","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Augsts","composer.mode.local.reasoning.low.label":"Zems","composer.mode.local.reasoning.medium.label":"Vidējs","composer.mode.local.reasoning.minimal.label":"Minimālā","composer.mode.local.reasoning.none.label":"Neviens","composer.mode.local.reasoning.xhigh.label":"Īpaši augsts","composer.mode.localRemoteWhereRun":"Izvēlies, kur izpildīt uzdevumu","composer.mode.newTask.header":"Turpināt","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"Atlikušais lietojuma limits","composer.mode.rateLimit.hour":"{hours} st.","composer.mode.rateLimit.minute":"{minutes} min.","composer.mode.rateLimit.modelSectionLabel":"{modelName} limits:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, zero {{weeks} nedēļu limits} one {nedēļas limits} other {{weeks} nedēļu limits}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, zero {{weeks} nedēļā} one {Katru nedēļu} other {{weeks} nedēļā}}","composer.mode.remote.connectToCloud":"Savienot Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Iestati vidi, izmantojot Codex Web, lai varētu sūtīt uzdevumus uz mākoni","composer.mode.remote.selectEnvironment":"Atlasi vidi","composer.mode.remote.sendToCloud":"Sūtīt uz mākoni","composer.mode.remote.setupViaWeb":"Iestati vidi, izmantojot Codex Web","composer.mode.runInCloud":"Mākonis","composer.mode.runInCloudWithEnvironment":"Mākonis · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Strādāt mākoņvidē","composer.mode.segmentedToggle.local.tooltip":"Strādā lokālā projektā","composer.mode.segmentedToggle.worktree.tooltip":"Strādāt paralēlā darba kopijā","composer.mode.upgradeToPlus":"Atjaunināt uz Plus","composer.mode.upgradeToPro":"Uzlabot uz Pro","composer.mode.workLocally":"Lokāls projekts","composer.mode.workLocally.currentBranchFallback":"tavs atzarojums","composer.mode.workLocally.tooltip":"Strādā pie {branchName}","composer.mode.worktree":"Jauns worktree","composer.mode.worktree.submoduleWarning":"Šajā repozitorijā ir git apakšmoduļi. Worktree izveide var neizdoties","composer.mode.worktree.tooltip":"Izveido sava lokālā projekta dublējumu, lai strādātu paralēli","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Modeļa maiņa sarunas vidū pazeminās veiktspēju.","composer.newChat.heading.browser":"Kādu kodu rakstīsim tagad?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex izmanto config.toml noteiktās atļaujas.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ir pilnīga piekļuve tavas datoram (paaugstināts risks)","composer.permissionsDropdown.custom.label":"Pielāgots (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Pielāgots (config.toml)","composer.permissionsDropdown.default.label":"Noklusējuma atļaujas","composer.permissionsDropdown.default.optionLabel":"Noklusējuma atļaujas","composer.permissionsDropdown.default.tooltip":"Codex automātiski izpilda komandas izolācijas vidē","composer.permissionsDropdown.disabled.requirements":"requirements.toml bloķē atļaujas","composer.permissionsDropdown.fullAccess.disabled":"Pilnīga piekļuve ir atspējota ar requirements.toml","composer.permissionsDropdown.fullAccess.label":"Pilnīga piekļuve","composer.permissionsDropdown.fullAccess.optionLabel":"Pilnīga piekļuve","composer.permissionsDropdown.trigger.tooltip":"Mainīt atļaujas","composer.personalitySlashCommand.description.friendly":"Sirsnīgs, atsaucīgs un izpalīdzīgs","composer.personalitySlashCommand.description.pragmatic":"Konkrēts, uz uzdevumu orientēts un tiešs","composer.personalitySlashCommand.label.friendly":"Draudzīgs","composer.personalitySlashCommand.label.pragmatic":"Pragmatisks","composer.personalitySlashCommand.notApplicableSuffix":"(Neattiecas uz pašreizējo modeli)","composer.personalitySlashCommand.title":"Personība","composer.placeholder.cloudFollowUp.directFollowUp":"Šī mākoņuzdevuma turpinājums","composer.placeholder.cloudFollowUp.local":"Izveido jaunu lokālo uzdevumu, kas atsaucas uz šo mākoņuzdevumu","composer.placeholder.cloudFollowUp.workingTree":"Izveido jaunu mākoņuzdevumu, kas ietver tavu pašreizējo kodu un atsauksies uz šo uzdevumu","composer.placeholder.localFollowUp.cloud":"Turpinājums jaunā mākoņuzdevumā","composer.placeholder.localFollowUp.locally":"Palūdz nākamās izmaiņas","composer.placeholder.newTask.cloud":"Palūdz Codex veikt jebko mākonī","composer.placeholder.newTask.doAnything":"Palūdz Codex veikt jebko","composer.placeholder.newTask.locally":"Pajautā Codex jebko, raksti @, lai pievienotu failus, raksti /, lai izmantotu komandas","composer.planModeDropdown":"Plāna režīms","composer.planModeDropdown.ariaLabel":"Plāna režīms","composer.planModeIndicator":"Plāns","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Izveido plānu ar Codex","composer.planModeIndicator.tooltipToggle":"lai pārslēgtos","composer.planSlashCommand.disableDescription":"Atspējot plāna režīmu","composer.planSlashCommand.enableDescription":"Iespējot plāna režīmu","composer.planSlashCommand.title":"Plāna režīms","composer.priorContext.label":"Iepriekšējais konteksts","composer.priorContext.removeAriaLabel":"Noņemt iepriekšējo kontekstu","composer.queuedMessage.delete":"Dzēst rindā esošo ziņojumu","composer.queuedMessage.edit":"Rediģēt ziņojumu","composer.queuedMessage.more":"Rindā esošo ziņojumu rīcības","composer.queuedMessage.sendNow":"Vadīt","composer.queuedMessage.sendNowTooltip":"Sūtīt tagad, nepārtraucot darbu","composer.queuedMessage.turnOff":"Atspējot rindošanu","composer.reasoningEffort.local.reasoning.tooltip":"Izvēlies apsvēršanas pakāpi","composer.remote.branchStartingPoint":"No kura atzarojuma jāuzsāk uzdevums?","composer.remote.branchesSectionHeading":"Atzarojumi","composer.remote.currentEditsSuffix.followUp":"Izveido jaunu uzdevumu, kas atsaucas uz šo mākoņuzdevumu.","composer.remote.currentEditsSuffix.useLocal":"ar lokālām koda izmaiņām","composer.remote.directFollowUp":"Neizmantot lokālās izmaiņas","composer.remote.errorLoadingBranches":"Ielādējot atzarojumus, radās kļūda","composer.remote.fromBranch":"No {branch}","composer.remote.fromCurrentBranch":"No {branch} (pašreizējais)","composer.remote.loadingMoreBranches":"Ielādē…","composer.remote.localFileStateHeading":"Lokālā faila stāvoklis","composer.remote.localWorkingTree":"Izmantot lokālās izmaiņas","composer.remote.startingPoint":"No kura koda jāuzsāk uzdevums?","composer.reviewMode.branches.error":"Neizdevās ielādēt atzarojumus","composer.reviewMode.branches.retry":"Mēģināt vēlreiz","composer.reviewMode.gitRoot.error":"Git sakne nav atrasta","composer.reviewMode.option.baseBranch.simple":"Salīdzināt ar pārskata atzarojumu","composer.reviewMode.option.unstaged.simple":"Pārskatīt neapstiprinātās izmaiņas","composer.reviewMode.quickReviewError":"Neizdevās uzsākt koda pārskatu.","composer.reviewMode.title":"Pārskatīt kodu","composer.sandboxButton.unlock.disabled.tooltip":"Pilnīga piekļuve ir atspējota ar requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex var izmantot eksperimentālu Windows izolācijas vidi, lai ierobežotu piekļuvi failu sistēmai un tīklam. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Iespējot Windows izolācijas vidi?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Izmantot tikai lasāmi","composer.searchEnvironments":"Meklēt vides","composer.skillMentionList.app":"Lietotne","composer.skillMentionList.loading":"Ielādē prasmes...","composer.skillMentionList.noResults":"Nav prasmju","composer.slashCommands.cloudEnvironment.title":"Mākoņvide","composer.slashCommands.dialogLabel":"/ komandu izvēlne","composer.slashCommands.dialogTitle":"/ komandas","composer.slashCommands.disabledTooltip":"Sāc jaunu sarunu, lai izmantotu / komandas","composer.slashCommands.inputPlaceholder":"Meklēt","composer.slashCommands.noResults":"Nav komandu","composer.slashCommands.skillsGroup":"Prasmes","composer.slashCommands.tooltip":"Pārlūkot / komandas","composer.status.close":"Aizvērt","composer.statusPlain.alertLabel":"Brīdinājums:","composer.statusPlain.alertValue":"{window} atlikuši {remaining} %","composer.statusPlain.contextLabel":"Konteksts:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"(izmantoti {used} / {total})","composer.statusPlain.contextValueRemaining":"Atlikuši {remaining} %","composer.statusPlain.heading":"Statuss","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limits:","composer.statusPlain.rateLimitDays":"{count} d. limits","composer.statusPlain.rateLimitFallbackLabel":"Lietojuma limits:","composer.statusPlain.rateLimitHours":"{count} st. limits","composer.statusPlain.rateLimitLabelBase":"Lietojuma limits","composer.statusPlain.rateLimitMinutes":"{count} min. limits","composer.statusPlain.rateLimitPercent":"Atlikuši {remaining} %","composer.statusPlain.rateLimitReset":"tiks atiestatīts {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"atiestatīšanas laiks nav pieejams","composer.statusPlain.rateLimitUnavailable":"Nav pieejams","composer.statusPlain.sessionCopiedAriaLabel":"Sesijas ID ir kopēts","composer.statusPlain.sessionCopiedTooltip":"ID ir kopēts","composer.statusPlain.sessionCopyAriaLabel":"Kopēt sesijas ID","composer.statusPlain.sessionCopyTooltip":"Kopēt ID","composer.statusPlain.sessionLabel":"Sesija:","composer.statusSlashCommand.description":"Rādīt pavediena ID, konteksta lietojumu un lietojuma limitus","composer.statusSlashCommand.title":"Statuss","composer.submit.blockedDialogOk":"Labi","composer.submit.blockedDialogTitle":"Neizdevās nosūtīt ziņojumu","composer.submit.emptyMessage":"Ievadi ziņojumu, lai sāktu","composer.submit.imageInputsUnsupported":"Lai nosūtītu šo ziņojumu, izdzēs attēlus vai pārslēdzies uz citu modeli.","composer.submit.loadingLocalConfig":"Ielādē…","composer.submit.missingCloudConfig":"Nepieciešams izvēlēties mākoņvidi","composer.submit.missingCloudTurn":"Nevar turpināt šo uzdevumu","composer.submit.noWorkspace":"Pievieno projektu, lai izmantotu Codex","composer.submit.waitForImageUploads":"Augšupielādē attēlus…","composer.submitButtonTooltip.send":"Sūtīt","composer.submitButtonTooltip.stop":"Apturēt","composer.worktreeEnvironment.create":"Izveidot lokālo vidi","composer.worktreeEnvironment.default":"Noklusējuma vide","composer.worktreeEnvironment.error":"Ielādējot vides, radās kļūda","composer.worktreeEnvironment.loading":"Ielādē vides…","composer.worktreeEnvironment.title":"Lokālā vide","composer.worktreeEnvironment.tooltip":"Izvēlies lokālo vidi","composer.worktreeSetupFailed":"Neizdevās uzstādīt worktree. Pārbaudi .codex/environments, lai atrastu uzstādīšanas skriptu.","compoundButton.secondaryAction":"Sekundārā rīcība","copyButton.copied":"Nokopēts","copyButton.copiedAriaLabel":"Nokopēts","copyButton.copy":"Kopēt","copyButton.copyAriaLabel":"Kopēt","copyButton.copyCode":"Kopēt kodu","diff.actionButton.revertFile":"Atsaukt failu","diff.actionButton.revertHunk":"Atsaukt","diff.actionButton.revertSection":"Atsaukt visu","diff.actionButton.revertSectionLabel":"Atsaukt visu","diff.actionButton.stageFile":"Sagatavot failu","diff.actionButton.stageHunk":"Sagatavot","diff.actionButton.stageSection":"Sagatavot visu","diff.actionButton.stageSectionLabel":"Sagatavot visu","diff.actionButton.unstageFile":"Atcelt faila sagatavošanu","diff.actionButton.unstageHunk":"Atcelt sagatavošanu","diff.actionButton.unstageSection":"Atcelt visu sagatavošanu","diff.actionButton.unstageSectionLabel":"Atcelt visu sagatavošanu","diff.fileHeader.toggle":"Pārslēgt faila atšķirības","electron.onboarding.login.apikey.cancel":"Atcelt","electron.onboarding.login.apikey.continue":"Turpināt","electron.onboarding.login.apikey.label":"OpenAI API atslēga","electron.onboarding.login.apikey.open":"Ievadi API atslēgu","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Atcelt pierakstīšanos","electron.onboarding.login.chatgpt.continue":"Turpināt ar ChatGPT","electron.onboarding.login.devbox":"Savienoties ar attālo SSH","electron.onboarding.login.error":"Pierakstīšanās neizdevās: {rawMessage}","electron.onboarding.login.snake.start":"Spēlēt Snake","electron.onboarding.login.sshConfig.cancel":"Atcelt","electron.onboarding.login.sshConfig.continue":"Turpināt","electron.onboarding.login.sshConfig.hostnameLabel":"SSH resursdatora nosaukums","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Labākais veids, kā veikt izstrādi ar aģentiem","electron.onboarding.login.title":"Laipni lūdzam Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Turpināt","electron.onboarding.welcome.doubleLimits.description":"Par godu Codex lietotnes atklāšanai, līdz 2. aprīlim tev ir pieejami divreiz lielāki lietojuma limiti.","electron.onboarding.welcome.freego.description":"Codex ir iekļauts tavā plānā bez maksas līdz 2. martam — radīsim kopā.","electron.onboarding.welcome.new.title.anon":"Laipni lūdzam!","electron.onboarding.workspace.continue":"Turpināt","electron.onboarding.workspace.empty":"Pievieno projektu, lai turpinātu.","electron.onboarding.workspace.listLabel":"Pieejamie projekti","electron.onboarding.workspace.loading":"Ielādē projektus…","electron.onboarding.workspace.openFolder":"Pievienot projektu","electron.onboarding.workspace.selectAll":"Atlasīt visu","electron.onboarding.workspace.skip":"Izlaist","electron.onboarding.workspace.skip.error":"Neizdevās izveidot jaunu projektu: {message}","electron.onboarding.workspace.skip.error.unknown":"Nezināma kļūda","electron.onboarding.workspace.skipping":"Izveido jaunu projektu...","electron.onboarding.workspace.subtitle":"Codex varēs rediģēt failus un izpildīt komandas atlasītajās mapēs.","electron.onboarding.workspace.title":"Izvēlies projektu","errorPage.list.checkSettings":"Mēģini atjaunināt IDE iestatījumus","errorPage.list.configToml":"Pārbaudi, vai config.toml nav nederīgu iestatījumu","errorPage.list.downloadExtension":"Mēģini lejupielādēt citu paplašinājuma versiju","errorPage.list.runInWsl":"Pārbaudi iestatījumus, lai atspējotu izpildi WSL, ja ir manāmas saderības problēmas","execApprovalRequest.menu.runAlways":"Jā, un šajā sesijā vairs nejautāt","execApprovalRequest.menu.runAlwaysWithAmendment":"Jā, un atkārtoti nejautā par komandām, kas sākas ar {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Jā, un atkārtoti nejautā par komandām, kas sākas ar 1","execApprovalRequest.menu.runOnce":"Jā","execApprovalRequest.prompt":"Vai vēlies izpildīt šo komandu?","execApprovalRequest.reject":"Nē","execFooter.exitCode":"Izejas kods {code}","execFooter.exitCode.unknown":"nezināms","execFooter.success":"Darbība ir veiksmīga","feedback.dialog.category.badResult":"Slikts rezultāts","feedback.dialog.category.bug":"Kļūda","feedback.dialog.category.goodResult":"Labs rezultāts","feedback.dialog.category.other":"Cits","feedback.dialog.descriptionPlaceholder":"Apraksti problēmu šeit","feedback.dialog.dismiss":"Nerādīt","feedback.dialog.includeLogsLabel":"Iekļaut pašreizējās Codex sesijas žurnālus","feedback.dialog.submit":"Iesniegt","feedback.dialog.submitError":"Neizdevās nosūtīt atsauksmi. Mēģini vēlreiz vēlāk.","feedback.dialog.title":"Atsauksme","feedback.dialog.uploadedMessage.existingIssue":"esošs atvērts jautājums","feedback.dialog.uploadedMessage.openIssue":"atvērt GitHub jautājumu","feedback.dialog.uploadedMessage.withThread":"Atsauksme ir augšupielādēta. Ja problēma nav novērsta, {openIssueLink} vai piemini pavediena ID {existingIssueLink}:","feedback.dialog.uploadedTitle":"Atsauksme ir augšupielādēta","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Noņemt {filename}","header.back":"Atpakaļ","header.recentChats":"Uzdevumi","header.recentTasks.seeAll":"Skatīt visus ({total})","home.header.getPlus":"Iegūt Plus","home.hero.letsBuild":"Sāksim","homePage.mainContent":"Galvenais saturs","imageAttachment.defaultName":"atlasīto attēlu","imageAttachment.preview.close":"Aizvērt attēla priekšskatījumu","imageAttachment.removeAriaLabel":"Noņemt {filename}","implementPlanRequest.option.implement":"Jā, īstenot šo plānu","implementPlanRequest.prompt":"Īstenot šo plānu?","inbox.archived.deleteError":"Neizdevās dzēst arhivēto izpildi","inbox.archived.deleteRun":"Dzēst arhivēto izpildi","inbox.archived.deleteSuccess":"Dzēsts arhivēts pavediens. Skatīt <settingsLink>arhivētajos pavedienos</settingsLink>.","inbox.archived.inlineLabel.auto":"Šis pavediens tika automātiski arhivēts. <learnMoreLink>Uzzināt vairāk</learnMoreLink>","inbox.archived.inlineLabel.manual":"Šis pavediens tika arhivēts.","inbox.archived.noMessageFound":"Ziņojums nav atrasts","inbox.automations.createError":"Neizdevās izveidot automatizāciju","inbox.automations.deleteConfirm.cancel":"Atcelt","inbox.automations.deleteConfirm.confirm":"Dzēst automatizāciju","inbox.automations.deleteConfirm.description":"Automatizācija tiks neatgriezeniski dzēsta, un tika pārtraukta jebkāda turpmāka darbība.","inbox.automations.deleteConfirm.title":"Dzēst {name}?","inbox.automations.deleteError":"Neizdevās dzēst automatizāciju","inbox.automations.editTooltip":"Rediģēt automatizāciju","inbox.automations.inProgress":"Notiek darbība","inbox.automations.new":"Jauns","inbox.automations.newToolbar":"Jauna automatizācija","inbox.automations.pauseTooltip":"Pauzēt automatizāciju","inbox.automations.resumeTooltip":"Turpināt automatizāciju","inbox.automations.startingNow":"Tiek palaista","inbox.automations.startsIn":"Sāksies pēc {startTime}","inbox.automations.status.active":"Aktīvs","inbox.automations.status.paused":"Pauzēts","inbox.automations.status.runs":"{count} izpildes","inbox.automations.status.started":"Uzsākts {date}","inbox.automations.updateError":"Neizdevās atjaunināt automatizāciju","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Visi","inbox.filter.ariaLabel":"Filtrēt iesūtnes vienumus","inbox.filter.unread":"Nelasīts","inbox.list.archived":"Arhivētas","inbox.list.inProgress":"Notiek darbība","inbox.list.recent":"Pabeigts","inbox.list.upNext":"Ieplānoti","inbox.mode.automations":"Automatizācija","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nav sniegts apraksts","inbox.openThread":"Atvērt pavedienu","inbox.rightPanel.emptySubtitle":"Automatizē darbu, izveidojot plānotus uzdevumus","inbox.rightPanel.emptySubtitle.learnMore":"Automatizē darbu, izveidojot plānotus pavedienus.<link>Uzzini vairāk</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, zero {# aktīvas automatizācijas} one {# aktīva automatizācija} other {# aktīvas automatizācijas}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nav nelasītu automatizāciju","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, zero {# nelasītas automatizācijas} one {# nelasīta automatizācija} other {# nelasītas automatizācijas}}","inbox.rightPanel.emptyTitle":"Nav atlasīts vienums","inbox.rightPanel.noThread":"Šim vienumam nav pavediena","inbox.rightPanel.quickStart.header":"Sākt ar veidni","inbox.untitled":"Iesūtnes elements bez nosaukuma","loadingPage.documentationLink":"dokumentācija","loadingPage.errorDescription":"Codex apstājās ar šādu kļūdu:","loadingPage.errorDescription.documentation":"Noklikšķini “Ielādēt atkārtoti”, lai restartētu Codex paplašinājumu, vai apmeklē mūsu {documentationLink}, lai saņemtu papildu palīdzību.","loadingPage.errorSignal":"Dažas darbības, ko vari izmēģināt:","loadingPage.errorTitle":"Radusies kļūda.","loadingPage.openConfigToml":"Atvērt config.toml","loadingPage.reload":"Pārlādēt","localConversation.contextCompacted":"Konteksts automātiski saspiests","localConversation.contextCompacting":"Automātiski saspiež kontekstu","localConversation.forkedFromConversation":"Sazarots no {threadTitle}","localConversation.merge.autoResolve.failed":"Neizdevās pieprasīt automātisko atrisināšanu: {error}","localConversation.merge.autoResolve.sent":"Nosūtīts automātiskās atrisināšanas pieprasījums","localConversation.merge.autoResolveMerge.missingConversation":"Neizdevās automātiski atrisināt bez aktīvas sarunas.","localConversation.merge.autoResolveMerge.request":"Automātiski atrisināt sapludināšanas konfliktus","localConversation.modelChanged":"Modelis mainīts no {fromModel} uz {toModel}.","localConversation.modelChanged.warning.line1":"Modeļa maiņa sarunas vidū pazeminās veiktspēju.","localConversation.modelChanged.warning.line2":"Konteksts var automātiski tikt saspiests.","localConversation.moveThread.createBranch.label":"Izveidot atzarojumu","localConversation.moveToLocal.disabled.loading":"Ielādē…","localConversation.moveToLocal.modal.continue":"Turpināt","localConversation.moveToLocal.modal.destinationLabel":"Pārvietot uz","localConversation.moveToLocal.modal.retry":"Mēģināt vēlreiz","localConversation.moveToWorktree.modal.back":"Atpakaļ","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Atzarojums jau pastāv.","localConversation.moveToWorktree.modal.branchesError":"Neizdevās ielādēt atzarojumus","localConversation.moveToWorktree.modal.branchesLoading":"Ielādē atzarojumus…","localConversation.moveToWorktree.modal.branchesRetry":"Mēģināt vēlreiz","localConversation.moveToWorktree.modal.continue":"Turpināt","localConversation.moveToWorktree.modal.retry":"Mēģināt vēlreiz","localConversation.moveToWorktree.modal.trailingSlashError":"Atzarojuma nosaukums nevar beigties ar “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"jauns-atzarojums","localConversation.personalityChanged":"Pārslēgts uz personību {personality}","localConversation.planSummary.collapse":"Sakļaut plāna kopsavilkumu","localConversation.planSummary.collapseTooltip":"Sakļaut","localConversation.planSummary.download":"Lejupielādēt plānu","localConversation.planSummary.expand":"Izvērst plāna kopsavilkumu","localConversation.planSummary.expandTooltip":"Izvērst","localConversation.planSummary.openInNewWindow":"Atvērts","localConversation.planSummary.openInNewWindow.tooltip":"Atvērt jaunā logā","localConversation.planSummary.title":"Plāns","localConversation.planSummary.titleWriting":"Raksta plānu","localConversation.planSummary.viewPlan":"Izvērst plānu","localConversation.remoteTaskCreated":"Codex Cloud izveidots {taskLink}.","localConversation.remoteTaskCreated.task":"uzdevumu","localConversation.scrollToBottomButton":"Ritināt līdz apakšai","localConversation.sync.buttonLabel":"Nodot lokāli","localConversation.sync.buttonLabel.tooltip":"Nodod izmaiņas starp šo worktree un vietējo norēķinu sistēmu.","localConversation.sync.modal.loading.title":"Nodod izmaiņas…","localConversation.sync.modal.noChanges":"Nav izmaiņu","localConversation.syncSetup.branchAriaLabel":"Atzarojuma nosaukums","localConversation.syncSetup.branchName":"Atzarojuma nosaukums","localConversation.syncSetup.branchPlaceholder.existing":"Izvēlies esošu atzarojumu","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Ielādē atzarojumus…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Jau izrakstīts","localConversation.syncSetup.checkoutClean":"Pašlaik {branchName}","localConversation.syncSetup.checkoutDirty":"Pašlaik {branchName} ar neapstiprinātām izmaiņām","localConversation.syncSetup.checkoutError":"Neizdevās izrakstīt atzarojumu: {message}","localConversation.syncSetup.checkoutLabel":"Izrakstīt lokāli tagad","localConversation.syncSetup.checkoutOnLocal":"Nodot lokāli","localConversation.syncSetup.checkoutPending":"Pārbauda lokālo statusu…","localConversation.syncSetup.checkoutUnavailable":"Lokālā darba kopija nav pieejama","localConversation.syncSetup.checkoutUnknown":"Lokālais atzarojums nav pieejams","localConversation.syncSetup.continue":"Turpināt","localConversation.syncSetup.createBranchError":"Neizdevās iestatīt nodošanas atzarojumu: {message}","localConversation.syncSetup.error":"Kaut kas nogāja greizi: {message}","localConversation.syncSetup.error.workingTreeMissing":"Neizdevās izveidot worktree momentuzņēmumu. Mēģini atkārtoti veikt nodošanu.","localConversation.syncSetup.mode.ariaLabel":"Izvēlies atzarojuma režīmu","localConversation.syncSetup.mode.existing":"Esošs atzarojums","localConversation.syncSetup.mode.new":"Jauns atzarojums","localConversation.syncSetup.noBranches":"Atzarojumi nav atrasti","localConversation.syncSetup.overwriteError":"Atzarojums tika izveidots, bet nav pilnībā nodots. Veic nodošanu manuāli, pirms veic lokālu izrakstīšanu.","localConversation.syncSetup.setPrefix":"Iestatīt prefiksu","localConversation.syncSetup.subtitle":"Testē un rediģē worktree izmaiņas lokāli. <a>Uzzināt vairāk</a>","localConversation.syncSetup.success.checkedOut":"Atzarojums ir izveidots un izrakstīts lokāli","localConversation.syncSetup.success.notCheckedOut":"Atzarojums izveidots","localConversation.syncSetup.title":"Nodot lokālam atzarojumam","localConversation.syncWorktreeError.branchAriaLabel":"Atzarojuma nosaukums","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Izvēlies atzarojumu, uz kuru veikt nodošanu, un mēģini atkārtoti ielādēt izmaiņas.","localConversation.syncWorktreeError.branchSetup.title":"Atjaunināt atzarojumu","localConversation.syncWorktreeError.branchUpdate.cta":"Atjaunināt un mēģināt vēlreiz","localConversation.syncWorktreeError.branchUpdate.error":"Neizdevās atjaunināt atzarojumu: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Kaut kas nogāja greizi: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Atzarojums nav izrakstīts nevienā worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Apstiprināt","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Lai piemērotu neapstiprinātas izmaiņas, atzarojums ir jāizraksta lokāli","localConversation.syncWorktreeV2.branches.empty":"Atzarojumi nav atrasti","localConversation.syncWorktreeV2.branches.loading":"Ielādē atzarojumus…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Mainīt nodošanas atzarojumu","localConversation.syncWorktreeV2.changeBranch.error":"Neizdevās mainīt nodošanas atzarojumu: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Piemērošana neizdevās","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Worktree pārrakstīšana neizdevās","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Lokālā pārrakstīšana neizdevās","localConversation.syncWorktreeV2.commandError.back":"Atpakaļ","localConversation.syncWorktreeV2.commandError.body":"Nodošanas laikā neizdevās izpildīt git komandu. Pārskati izvadi un mēģini vēlreiz.","localConversation.syncWorktreeV2.commandError.retry":"Mēģināt vēlreiz","localConversation.syncWorktreeV2.description":"Nodod izmaiņas starp lokālo repozitoriju un šo worktree <a>Uzzināt vairāk</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Izvēlies nodošanas virzienu","localConversation.syncWorktreeV2.error.generic":"Nodošanas laikā radās kļūda. Mēģini vēlreiz.","localConversation.syncWorktreeV2.localBranchLabel":"Lokāli","localConversation.syncWorktreeV2.noChanges":"Aprēķina izmaiņas","localConversation.syncWorktreeV2.noChanges.summary":"Nav izmaiņu","localConversation.syncWorktreeV2.overwrite.local":"Pārrakstīt lokāli","localConversation.syncWorktreeV2.overwrite.worktree":"Pārrakstīt worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Neizdevās piemērot izmaiņas","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Neizdevās pārrakstīt lokālās izmaiņas","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Neizdevās pārrakstīt worktree izmaiņas","localConversation.syncWorktreeV2.partial.appliedLabel":"Piemērots","localConversation.syncWorktreeV2.partial.back":"Atpakaļ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Atrisini konfliktus un mēģini vēlreiz.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikti","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, zero {# faili} one {# fails} other {# faili}}","localConversation.syncWorktreeV2.partial.retry":"Mēģināt vēlreiz","localConversation.syncWorktreeV2.partial.skippedLabel":"Izlaida","localConversation.syncWorktreeV2.stateFailed.generic":"Ielādējot worktree izmaiņas nodošanai, radās kļūda. Mēģini vēlreiz.","localConversation.syncWorktreeV2.stateFailed.title":"Worktree izmaiņu ielāde neizdevās","localConversation.syncWorktreeV2.statusError.diffUnknown":"Worktree izmaiņu ielāde neizdevās.","localConversation.syncWorktreeV2.statusError.retry":"Mēģināt vēlreiz","localConversation.syncWorktreeV2.statusError.title":"Nevar ielādēt vietējā atzarojuma izmaiņas","localConversation.syncWorktreeV2.statusError.unknown":"Atzarojuma statuss pašlaik nav pieejams. Mēģini vēlreiz.","localConversation.syncWorktreeV2.success.apply":"Izmaiņas veiksmīgi piemērotas","localConversation.syncWorktreeV2.success.overwrite":"Nodošana veiksmīga","localConversation.syncWorktreeV2.title":"Nodot izmaiņas","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Jautā {count, plural, zero {jautājumus} one {jautājums} other {jautājumus}}","localConversation.userInputRequest.noAnswer":"Atbilde nav sniegta","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Jautāja","localConversation.userInputRequest.summary.count":"{count, plural, zero {# jautājumus} one {# jautājums} other {# jautājumus}}","localConversation.workedFor":"Darbojās {time}","localConversation.worktreeBranchSetup.action.create":"Izveidot","localConversation.worktreeBranchSetup.branchAriaLabel":"Atzarojuma nosaukums","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Izveidot jaunu atzarojumu","localConversation.worktreeBranchSetup.checkoutDisabled":"Šis atzarojums jau ir izrakstīts {location}","localConversation.worktreeBranchSetup.checkoutError":"Neizdevās izrakstīt atzarojumu: {message}","localConversation.worktreeBranchSetup.createBranchError":"Neizdevās iestatīt atzarojumu: {message}","localConversation.worktreeBranchSetup.error":"Kaut kas nogāja greizi: {message}","localConversation.worktreeBranchSetup.subtitle":"Izveido atzaru, lai iesūtītu izmaiņas, kā arī nosūtītu un izveidotu PR no šī worktree. <a>Uzzināt vairāk</a>","localConversation.worktreeBranchSetup.title":"Strādāt šeit","localConversationPage.addWorktreeToSidebar.tooltip":"Saglabā kā projektu, lai no šī worktree varētu izveidot jaunus pavedienus","localConversationPage.addWorktreeToSidebarError":"Neizdevās pievienot projektu","localConversationPage.commitAndCreatePrModal.errorTitle":"Iesūtīšana un PR izveide neizdevās","localConversationPage.commitAndCreatePrModal.successTitle":"Iesūtīšana un PR izveide ir paveikta","localConversationPage.commitAndPushModal.errorTitle":"Iesūtīšana un augšupielāde neizdevās","localConversationPage.commitAndPushModal.successTitle":"Izmaiņas ir iesūtītas un augšupielādētas","localConversationPage.commitCreatePr.open":"Atvērt pull pieprasījumu","localConversationPage.commitCreatePr.successTitle":"Izveidots PR ar tavām jaunākajām izmaiņām","localConversationPage.createBranchButtonLabel":"Atzarojums šeit","localConversationPage.createPrModal.baseBranch":"Bāze","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Izveidot PR","localConversationPage.createPrModal.createDescription":"Atver pull pieprasījumu savām jaunākajām izmaiņām.","localConversationPage.createPrModal.errorTitle":"Pull pieprasījums neizdevās","localConversationPage.createPrModal.headBranch":"Galva","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Atvērt PR","localConversationPage.createPrModal.successTitle":"Pull pieprasījums ir izveidots","localConversationPage.createPrModal.title":"Izveidot pull pieprasījumu","localConversationPage.createPrModal.viewDescription":"Šim atzarojumam jau pastāv pull pieprasījums.","localConversationPage.createPrModal.viewTitle":"Pull pieprasījums ir gatavs","localConversationPage.createPullRequestAuthGh":"Autentificē GitHub CLI: izpildi “gh auth login”","localConversationPage.createPullRequestBranchMissing":"Nav pieejama informācija par atzarojumu","localConversationPage.createPullRequestButtonLabel":"Izveidot PR","localConversationPage.createPullRequestButtonLabel.loading":"Izveido PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Nav pieejama informācija par noklusējuma atzarojumu","localConversationPage.createPullRequestError":"Neizdevās izveidot pull pieprasījumu.","localConversationPage.createPullRequestExistingPullRequest":"Šim atzarojumam jau pastāv pull pieprasījums","localConversationPage.createPullRequestGhStatusMissing":"Ielādē GitHub CLI statusu…","localConversationPage.createPullRequestInstallGh":"Instalē GitHub CLI (gh), lai izveidotu PR","localConversationPage.createPullRequestNoRepo":"Nav atrasts git repozitorijs","localConversationPage.createPullRequestPushStatusMissing":"Ielādē augšupielādēšanas statusu…","localConversationPage.createPullRequestSetUpstream":"Augšupielādē šo atzarojumu pirms PR izveides","localConversationPage.createPullRequestSuccessToast":"Pull pieprasījums ir izveidots","localConversationPage.createPullRequestSwitchBranch":"Pirms PR izveides izvēlieties funkciju atzarojumu","localConversationPage.error.render":"Attēlojot lokālo sarunu, radās kļūda","localConversationPage.error.toast":"Saruna nav atrasta","localConversationPage.forcePushError":"Neizdevās veikt piespiedu augšupielādi","localConversationPage.generatePullRequestMessageError":"Neizdevās ģenerēt pull pieprasījuma virsrakstu un tekstu","localConversationPage.generatePullRequestMessageFailed":"Neizdevās ģenerēt pull pieprasījuma virsrakstu un tekstu.","localConversationPage.gitActionResult.branch":"Atzarojums","localConversationPage.gitActionResult.cancel":"Atcelt","localConversationPage.gitActionResult.close":"Aizvērt","localConversationPage.gitActionResult.tryAgain":"Mēģināt vēlreiz","localConversationPage.gitActions":"Git rīcības","localConversationPage.newChat":"Jauna tērzētava","localConversationPage.openInTarget":"Atvērt…","localConversationPage.openPrimaryTarget":"Atvērts","localConversationPage.planItemsCompleted":"{completedItems} no {totalItems, plural, zero {Pabeigti # uzdevumi} one {Pabeigts # uzdevums} other {Pabeigti # uzdevumi}}","localConversationPage.pushAuthError":"Pašpiegāde neizdevās: nepieciešama autentifikācija","localConversationPage.pushBranchMissing":"Nav pieejama informācija par atzarojumu","localConversationPage.pushButtonLabel":"Pašpiegāde","localConversationPage.pushButtonLabel.loading":"Augšupielādē…","localConversationPage.pushError":"Neizdevās augšupielādēt izmaiņas","localConversationPage.pushModal.branchLabel":"Atzarojums","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Atcelt","localConversationPage.pushModal.confirm":"Pašpiegāde","localConversationPage.pushModal.description":"Augšupielādē savas jaunākās izmaiņas attālajā repozitorijā.","localConversationPage.pushModal.errorTitle":"Augšupielāde neizdevās","localConversationPage.pushModal.forcePush":"Piespiedu augšupielāde","localConversationPage.pushModal.successTitle":"Augšupielāde pabeigta","localConversationPage.pushModal.title":"Augšupielādēt izmaiņas","localConversationPage.pushModal.tryAgain":"Mēģināt vēlreiz","localConversationPage.pushNoUpstream":"Iestati upstream pirms šī atzarojuma augšupielādes","localConversationPage.pushNoUpstreamError":"Pašpiegāde neizdevās: nav konfigurēts upstream","localConversationPage.pushNothingToPush":"Nav jaunu izmaiņu, ko augšupielādēt","localConversationPage.pushRemoteChangedError":"Pašpiegāde neizdevās: remote ir jauni iesūtījumi","localConversationPage.pushRemoteRejectedError":"Remote noraidīja pašpiegādi","localConversationPage.pushStatusMissing":"Ielādē augšupielādēšanas statusu…","localConversationPage.pushSuccessToast":"Ieviestās izmaiņas","localConversationPage.viewPullRequestButtonLabel":"Skatīt PR","localConversationPage.viewPullRequestButtonLabel.loading":"Ielādē pull pieprasījumu…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, zero {# faili} one {# fails} other {# faili}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, zero {# saraksti} one {# saraksts} other {# saraksti}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, zero {# meklējumi} one {# meklējums} other {# meklējumi}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Pārlūko","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Pārlūkoja","localConversationTurn.exploration.accordion.header.complete.withCounts":"Pārlūkoja {counts}","localConversationTurnStory.showContent":"Rādīt saturu","localConversationTurnStory.streamContent":"Straumēt saturu","localConversationTurnStory.toggleReasoning":"Rādīt apsvērumu","localTaskRow.archiveError":"Neizdevās arhivēt sarunu","localTaskRow.resumeError":"Neizdevās atsākt uzdevumu","mermaidDiagram.ariaLabel":"Mermaid diagramma","mermaidDiagram.copySource":"Kopēt mermaid","mermaidDiagram.originalCode":"Mermaid pirmkods","notifications.permissions.description":"Rādīt brīdinājumus, ja ir nepieciešamas atļaujas paziņojumiem","notifications.permissions.label":"Iespējot atļauju paziņojumus","notifications.turnMode.always":"Vienmēr","notifications.turnMode.description":"Nosaki, kad Codex paziņos par uzdevuma pabeigšanu","notifications.turnMode.label":"Iespējot pabeigšanas paziņojumus","notifications.turnMode.off":"Nekad","notifications.turnMode.unfocused":"Tikai tad, ja nav fokusēts","patchApprovalRequest.approve":"Apstiprināt","patchApprovalRequest.menu.allowAlways":"Jā, un šajā sesijā vairs nejautāt","patchApprovalRequest.menu.allowForSession":"Jā, un šajā sesijā vairs nejautāt","patchApprovalRequest.menu.allowOnce":"Jā","patchApprovalRequest.prompt":"Vai vēlies veikt šīs izmaiņas?","patchApprovalRequest.reject":"Nē","patchApprovalRequest.waitingForApproval":"Gaida apstiprinājumu failu rediģēšanai","pendingRequest.approvalExec.collapse":"Sakļaut","pendingRequest.approvalExec.expand":"Izvērst","pendingRequestStory.toastAnswer":"Atbilde: {answer}","pendingRequestStory.toastApprovalTitle":"Apstiprinājuma atbilde","pendingRequestStory.toastFollowupPrompt":"Uzvedne: {prompt}","pendingRequestStory.toastFollowupTitle":"Papildu informācija nosūtīta","pendingRequestStory.toastNoAnswers":"Atbildes nav sniegtas","pendingRequestStory.toastQuestion":"Jautājums: {question}","pendingRequestStory.toastUnknownDecision":"Nezināms","pendingRequestStory.toastUserInputTitle":"Iesniegtās atbildes","quickAction.request.codeReview.branches.new":"Salīdzini {from} veiktās izmaiņas ar {to}","quickAction.request.codeReview.uncommitted.new":"Lūdzu, pārskati manas neapstiprinātās izmaiņas","reasoningItem.thinking":"Domā","reasoningItem.thought":"Domāja","reasoningItem.thoughtWithElapsed":"Domāja {elapsed}","recentConversations.title":"Nesenās sarunas","recentTasks.worktreeInitFailedTitle":"Neizdevās inicializēt worktree","recentTasks.worktreeSettingUpTitle":"Tiek veikta worktree iestatīšana","requestInputPanel.continue":"Turpināt","requestInputPanel.dismiss":"Nerādīt","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Raksti šeit","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nē, un norādīt Codex, ko darīt citādi","requestInputPanel.selectedBadge":"Atlasīts","requestInputPanel.skip":"Izlaist","requestInputPanel.submit":"Iesniegt","review.commit.ariaLabel.includeUnstaged":"Iekļaut nesagatavotas","review.commit.buttonLabel":"Iesūtījums","review.commit.disabled.committing":"Iesniedz…","review.commit.disabled.loadingDiff":"Ielādē atšķirības…","review.commit.disabled.missingContext":"Pievieno kontekstu, lai ģenerētu iesūtījuma ziņojumu","review.commit.disabled.noChanges":"Nav izmaiņu, ko iesūtīt","review.commit.disabled.noSelection":"Izvēlies izmaiņas, ko iesūtīt","review.commit.disabled.unavailable":"Iesūtīšana pašlaik nav pieejama","review.commit.error":"Neizdevās iesūtīt izmaiņas","review.commit.form.changesToBeCommitted":"Izmaiņas","review.commit.form.commitTo":"Atzarojums","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Turpināt","review.commit.form.title":"Iesniedz savas izmaiņas","review.commit.generate.emptyResponse":"Neizdevās ģenerēt iesūtījuma ziņojumu.","review.commit.generate.failed":"Neizdevās ģenerēt iesūtījuma ziņojumu: {error}","review.commit.generate.missingPrompt":"Pievieno kontekstu, lai ģenerētu iesūtījuma ziņojumu.","review.commit.includeUnstaged":"Iekļaut nesagatavotas","review.commit.loading.description":"Tas var aizņemt kādu laiku…","review.commit.loading.step.commit.done":"Neapstiprinātās izmaiņas","review.commit.loading.step.commit.pending":"Piemēro izmaiņas","review.commit.loading.step.createPr.done":"Pull pieprasījums izveidots","review.commit.loading.step.createPr.pending":"Izveido pull pieprasījumu…","review.commit.loading.step.push.done":"Iesūtīts atzarojumā {branch}","review.commit.loading.step.push.pending":"Iesūta atzarojumā {branch}","review.commit.loading.title.commit":"Piemēro izmaiņas","review.commit.loading.title.createPr":"Izveido PR","review.commit.loading.title.push":"Iesūta izmaiņas","review.commit.messageLabel":"Iesūtījuma ziņojums","review.commit.messagePlaceholder":"Atstāj lauku tukšu, lai automātiski ģenerētu iesūtījuma ziņojumu","review.commit.nextSteps":"Turpmākie soļi","review.commit.nextSteps.commit":"Iesūtījums","review.commit.nextSteps.commitAndCreate":"Iesniegt un izveidot PR","review.commit.nextSteps.commitAndPush":"Iesniegt un iesūtīt","review.commit.nextSteps.prRequiresGh":"Nepieciešama GitHub CLI: {command}","review.commit.rows.changes":"Izmaiņas","review.commit.rows.commitCount":"{count, plural, zero {# iesūtījumi} one {# iesūtījums} other {# iesūtījumi}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, zero {# iesūtījumi} one {# iesūtījums} other {# iesūtījumi}} un {stats}","review.commit.rows.fileCount":"{count, plural, zero {# faili} one {# fails} other {# faili}}","review.commit.state.error.body":"Iesūtījuma iesniegšanas laikā radās kļūda. Pārbaudi savu git statusu un mēģini vēlreiz.","review.commit.state.error.title":"Iesūtījums neizdevās","review.commit.state.success.title":"Izmaiņas ir iesniegtas","review.commit.untracked.loadingStats":"Ielādē neizsekoto atšķirību statistiku…","reviewFindingAttachments.count":"{count, plural, zero {# rezultāti} one {# rezultāts} other {# rezultāti}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Rediģē konfigurāciju, lai pielāgotu aģenta darbību","settings.agent.configuration.configToml.docs":"Dokumentācija","settings.agent.configuration.configToml.restartNote":"Pēc rediģēšanas restartē Codex, lai piemērotu izmaiņas","settings.agent.configuration.subtitle":"Šie iestatījumi attiecas uz visām vietām, kur tiek izmantots Codex","settings.automations.banner.danger":"Automatizācijas izmanto tavus izolācijas vides noklusējuma iestatījumus, kas pašlaik atļauj pilnīgu piekļuvi. Automatizāciju izpilde fonā ar pilnīgu piekļuvi rada paaugstinātu risku, jo Codex var mainīt failus, izpildīt komandas un piekļūt tīklam bez atļaujas. Apsver iespēju mainīt izolācijas vides iestatījumus, lai atļautu rakstīšanu darba kopijā, un izmantot <rulesDocsLink>noteikumus</rulesDocsLink>, lai selektīvi noteiktu, kuras komandas aģents var izpildīt ar pilnīgu piekļuvi.","settings.automations.banner.defaultHowTo.default":"Automatizācijas izmanto tavus izolācijas vides noklusējuma iestatījumus. Rīku saucieni neizdosies, ja tiem būs nepieciešams modificēt failus ārpus darba kopijas, piekļūt tīklam vai strādāt ar datorā instalētām lietotnēm. Iespējams selektīvi atļaut komandām darboties ārpus izolācijas vides, izmantojot <rulesDocsLink>noteikumus</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizācijas izmanto tavus izolācijas vides noklusējuma iestatījumus, kas pašlaik atļauj tikai lasīšanu. Rīku saucieni neizdosies, ja tiem būs nepieciešams mainīt failus, piekļūt tīklam vai strādāt ar datorā instalētām lietotnēm. Apsver iespēju mainīt izolācijas vides iestatījumus, lai atļautu rakstīšanu darba kopijā.","settings.automations.cancel":"Atcelt","settings.automations.create":"Izveidot","settings.automations.cwdEmpty":"Nav pieejamas projekta mapes","settings.automations.cwdLabel":"Projekti","settings.automations.cwdPlaceholder":"Atlasīt mapi","settings.automations.cwdSubtitle":"Ja vēlies, lai automatizācija tiktu izpildīta konkrētā atzarojumā, to vari norādīt uzvednē.","settings.automations.delete":"Dzēst","settings.automations.dialog.editTitle":"Rediģēt automatizāciju","settings.automations.dialog.newTitle":"Jauna automatizācija","settings.automations.dialog.subtitle":"Automatizē atkārtoti veicamus uzdevumus fonā. Codex atklājumus ievieto iesūtnē vai automātiski arhivē uzdevumu, ja nav ko ziņot. <learnMoreLink>Uzzināt vairāk</learnMoreLink>","settings.automations.dialog.title":"Izveidot automatizāciju","settings.automations.executionCopy.git":"Automatizācijas darbojas fonā īpašos worktree.","settings.automations.executionCopy.nonGit":"Automatizācijas projektos bez versiju kontroles darbojas tieši projekta direktorijā. Apsver iespēju izmantot Git, lai ļautu darboties fona worktree.","settings.automations.executionEnvironment.local":"Lokāli","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Ielādē…","settings.automations.nameLabel":"Vārds / nosaukums","settings.automations.namePlaceholder":"Pārbaudīt sentry problēmas","settings.automations.pause":"Pauze","settings.automations.promptLabel":"Uzvedne","settings.automations.promptPlaceholder":"meklē kļūdas $Sentry","settings.automations.resume":"Atsākt","settings.automations.rruleSummaryFallback":"Pielāgots grafiks","settings.automations.runNow":"Testēt","settings.automations.save":"Saglabāt","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count} st.","settings.automations.scheduleBadge.weekdays":"Darba dienās","settings.automations.scheduleBadge.weekends":"Nedēļas nogalēs","settings.automations.scheduleHeader":"Grafiks","settings.automations.scheduleHours":"stundas","settings.automations.scheduleLabel":"Izpildīt ik pēc","settings.automations.scheduleMode.daily":"Katru dienu","settings.automations.scheduleMode.interval":"Intervāls","settings.automations.scheduleModeLabel":"Grafika veids","settings.automations.scheduleSummary.daily":"Katru dienu {time}","settings.automations.scheduleSummary.interval":"Ik pēc {count} st.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, zero {# dienām} one {# dienu} other {# dienām}}","settings.automations.scheduleSummary.intervalDays":"{interval} {days}","settings.automations.scheduleSummary.intervalHourly":"Katru stundu","settings.automations.scheduleSummary.singleDay":"{day} {time}","settings.automations.scheduleSummary.weekdays":"Darba dienās plkst. {time}","settings.automations.scheduleSummary.weekdaysLabel":"darba dienās","settings.automations.scheduleSummary.weekends":"Nedēļas nogalēs plkst. {time}","settings.automations.scheduleSummary.weekendsLabel":"nedēļas nogalēs","settings.automations.scheduleSummary.weekly":"{days} {time}","settings.automations.scheduleWeekdays":"Ieslēgta","settings.automations.weekdayState.excluded":"Izslēgts","settings.automations.weekdayState.included":"Iekļauts","settings.conversationDetail.steps":"Soļi","settings.conversationDetail.steps.description":"Paslēpt komandas un izvadi","settings.conversationDetail.stepsWithCommands":"Soļi ar koda komandām","settings.conversationDetail.stepsWithCommands.description":"Rādīt komandas, sakļaut izvadi","settings.conversationDetail.stepsWithOutput":"Soļi ar koda izvadi","settings.conversationDetail.stepsWithOutput.description":"Rādīt komandas un izvērst izvadi","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nav arhivētu tērzētavu.","settings.dataControls.archivedChats.error":"Neizdevās ielādēt arhivētās tērzētavas.","settings.dataControls.archivedChats.loading":"Ielādē arhivētās tērzētavas…","settings.dataControls.archivedChats.unarchive":"Atarhivēt","settings.dataControls.archivedChats.unarchiveError":"Neizdevās atarhivēt tērzētavu","settings.dataControls.archivedChats.unarchiveSuccess":"Pavediens atarhivēts. <viewNowLink>Skatīt tagad</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Nearhivēts pavediens.","settings.dataControls.archivedChats.untitled":"Tērzētava bez nosaukuma","settings.dataControls.archivedChats.viewNow":"Skatīt tagad","settings.editRow.headerPlaceholder":"Atslēga","settings.editRow.removeEntry":"Noņemt ierakstu","settings.editRow.valuePlaceholder":"Vērtība","settings.general.appearance":"Izskats","settings.general.appearance.codeFont":"Koda fonts","settings.general.appearance.codeFont.description":"Pielāgo fontu un izmēru, ar ko kods tiek attēlots tērzētavās un atšķirību skatā","settings.general.appearance.codeFontFamily":"Koda fontu saime","settings.general.appearance.codeFontSize":"Koda fontu izmērs","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Likt logiem izmantot vienkrāsainu fonu, nevis sistēmas caurspīdīgumu","settings.general.appearance.opaqueWindows.label":"Izmantot necaurspīdīgu logu fonu","settings.general.appearance.sansFontFamily":"Sans fontu saime","settings.general.appearance.sansFontFamily.description":"Pielāgo Codex saskarnē izmantoto fontu","settings.general.appearance.sansFontSize":"Sans fonta izmērs","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Rādīt pilna loga svinību efektus, kamēr GPT-5.3-Codex-Spark darbojas pirmajā kārtā","settings.general.appearance.sparkCelebrationEffects.label":"Spark svinību efekti","settings.general.appearance.theme":"Tēma","settings.general.appearance.theme.dark":"Tumšais","settings.general.appearance.theme.description":"Izmanto gaišo vai tumšo motīvu vai izmanto sistēmas iestatījumu","settings.general.appearance.theme.light":"Gaišais","settings.general.appearance.theme.system":"Sistēma","settings.general.appearance.usePointerCursors.description":"Mainīt kursoru uz rādītāju, kad novieto kursoru uz interaktīviem elementiem","settings.general.appearance.usePointerCursors.label":"Izmantot rādītāju kursorus","settings.general.enterBehavior.description":"Kad šī funkcija ir ieslēgta, daudzrindu uzvednes ir jānosūta ar {modifierSymbol} + Enter.","settings.general.enterBehavior.label":"Garas uzvednes jānosūta ar {modifierSymbol} + Enter","settings.general.experimentalFeatures":"Eksperimentālās funkcijas (beta versija)","settings.general.experimentalFeatures.empty":"Beta eksperimentālās funkcijas nav pieejamas.","settings.general.experimentalFeatures.loading":"Notiek eksperimentālo funkciju ielāde…","settings.general.experimentalFeatures.restartNote":"Restartē Codex, lai lietotu eksperimentālās funkciju izmaiņas","settings.general.experimentalFeatures.toggle":"Pārslēgt {featureName}","settings.general.followUpQueueMode.description":"Ievieto papildjautājumus rindā, kamēr Codex darbojas, vai novirzi pašreizējo izpildi. Nospied {invertFollowUpShortcutLabel}, lai veiktu pretējo darbību vienam ziņojumam.","settings.general.followUpQueueMode.interrupt":"Vadīt","settings.general.followUpQueueMode.label":"Papildjautājumu izpilde","settings.general.followUpQueueMode.queue":"Ievietot rindā","settings.general.notifications":"Paziņojumi","settings.general.power.preventSleepWhileRunning.description":"Neļauj datoram pāriet miega režīmā, kamēr Codex izpilda pavedienu.","settings.general.power.preventSleepWhileRunning.label":"Neļauj datoram pāriet miega režīmā","settings.git.branchPrefix.ariaLabel":"Atzarojuma prefikss","settings.git.branchPrefix.description":"Prefikss, ko izmanto, veidojot jaunus atzarojumus Codex","settings.git.branchPrefix.label":"Atzarojuma prefikss","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Neizdevās saglabāt atzarojuma prefiksu","settings.git.branchPrefix.save.success":"Saglabāts atzarojuma prefikss","settings.git.commitInstructions.ariaLabel":"Iesūtījuma norādes","settings.git.commitInstructions.description":"Pievienots iesūtījuma ziņojuma ģenerēšanas uzvednēm","settings.git.commitInstructions.label":"Iesūtījuma norādes","settings.git.commitInstructions.placeholder":"Pievienot iesūtījuma ziņojuma norādes…","settings.git.commitInstructions.save":"Saglabāt","settings.git.commitInstructions.save.error":"Neizdevās saglabāt iesūtījuma norādes","settings.git.commitInstructions.save.success":"Iesūtījuma norādes saglabātas","settings.git.forcePush.ariaLabel":"Vienmēr veikt piespiedu augšupielādi","settings.git.forcePush.description":"Izmanto --force-with-lease, veicot augšupielādi no Codex","settings.git.forcePush.label":"Vienmēr veikt piespiedu augšupielādi","settings.git.forcePush.save.disabled":"Piespiedu augšupielāde atspējota","settings.git.forcePush.save.enabled":"Piespiedu augšupielāde iespējota","settings.git.forcePush.save.error":"Neizdevās saglabāt piespiedu augšupielādes iestatījumu","settings.git.prInstructions.ariaLabel":"Pull pieprasījuma norādes","settings.git.prInstructions.description":"Pievienots Codex izveidotajiem pull pieprasījumu tekstiem","settings.git.prInstructions.label":"Pull pieprasījuma norādes","settings.git.prInstructions.placeholder":"Pievienot pull pieprasījuma norādes…","settings.git.prInstructions.save":"Saglabāt","settings.git.prInstructions.save.error":"Neizdevās saglabāt pull pieprasījuma norādes","settings.git.prInstructions.save.success":"Pull pieprasījuma norādes saglabātas","settings.ide.defaultOpenTarget.description":"Kur faili un mapes tiek atvērtas pēc noklusējuma","settings.ide.defaultOpenTarget.label":"Noklusējuma atvēršanas vieta","settings.ide.defaultOpenTarget.placeholder":"Mērķi nav atrasti","settings.ide.language.auto":"Automātiski noteikt","settings.ide.language.autoOption":"Automātiski noteikt","settings.ide.language.description":"Lietotnes lietotāja saskarnes valoda","settings.ide.language.label":"Valoda","settings.ide.language.search":"Meklēt valodas","settings.layout.actionButton":"Pārstartēt paplašinājumu","settings.layout.actionTitle":"Iestatījumi ar rīcību","settings.layout.fullWidthTitle":"Iestatījumi (pilna platuma)","settings.layout.title":"Iestatījumi","settings.localEnvironments.actions.add":"Pievieno rīcību","settings.localEnvironments.actions.add.description":"Izveido jaunu komandu, ko palaist no rīkjoslas.","settings.localEnvironments.actions.add.save":"Saglabāt","settings.localEnvironments.actions.empty":"Pievieno rīcību, lai izpildītu komandas no lokālās rīkjoslas.","settings.localEnvironments.actions.icon.debug":"Atkļūdošana","settings.localEnvironments.actions.icon.run":"Izpildīt","settings.localEnvironments.actions.icon.test":"Testēt","settings.localEnvironments.actions.icon.tool":"Rīks","settings.localEnvironments.actions.item.button.delete":"Dzēst","settings.localEnvironments.actions.item.command":"Rīcības skripts","settings.localEnvironments.actions.item.name":"Vārds / nosaukums","settings.localEnvironments.actions.item.platforms":"Platformas","settings.localEnvironments.actions.item.platforms.help":"Izpildīt tikai konkrētā operētājsistēmā.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Platformas izvēle","settings.localEnvironments.actions.item.platforms.specific":"Konkrēta platforma","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Dzēst","settings.localEnvironments.actions.title":"Rīcības","settings.localEnvironments.breadcrumb.back":"Atpakaļ","settings.localEnvironments.breadcrumb.edit":"rediģēt","settings.localEnvironments.breadcrumb.root":"Vides","settings.localEnvironments.environment.actions.description":"Šīs rīcības var izpildīt jebkuru komandu un tiks parādītas galvenē.","settings.localEnvironments.environment.actionsLabel":"Rīcības","settings.localEnvironments.environment.create":"Izveidot lokālo vidi","settings.localEnvironments.environment.defaultName":"lokāli","settings.localEnvironments.environment.edit":"Rediģēt lokālo vidi","settings.localEnvironments.environment.empty":"Šim projektam vēl nav konfigurēta lokālā vide.","settings.localEnvironments.environment.name":"Vārds / nosaukums","settings.localEnvironments.environment.setup":"Iestatīšanas skripts","settings.localEnvironments.environment.setup.description":"Šis skripts tiks izpildīts worktree izveides laikā.","settings.localEnvironments.environment.setup.hint":"Tiek izpildīts projekta saknē.","settings.localEnvironments.environment.setup.platformOverrides":"Platformas pārrakstīšana","settings.localEnvironments.environment.setup.platformOverrides.add":"Pievienot {platform} iestatīšanas skriptu","settings.localEnvironments.environment.setup.platformOverrides.description":"Pārraksta noklusējuma skriptu konkrētām operētājsistēmām.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Dzēst","settings.localEnvironments.environment.setup.script":"Skripts","settings.localEnvironments.environment.title":"Informācija par vidi","settings.localEnvironments.file.missing":"Saglabā failu, lai to izveidotu pirmo reizi.","settings.localEnvironments.file.parseError":"Neizdevās analizēt esošo failu. Saglabājot, tas tiks pārrakstīts. ({error})","settings.localEnvironments.file.path":"Fails: {path}","settings.localEnvironments.file.readError":"Neizdevās ielādēt lokālās vides datus. ({error})","settings.localEnvironments.file.title":"Lokālās vides fails","settings.localEnvironments.loading.body":"Ielādē projekta konfigurāciju.","settings.localEnvironments.loading.title":"Ielādē lokālās vides","settings.localEnvironments.preview.devOnly":"(Tikai izstrādātājiem)","settings.localEnvironments.preview.save":"Saglabāt","settings.localEnvironments.preview.saveError":"Neizdevās saglabāt failu. ({error})","settings.localEnvironments.preview.title":"Priekšskatījums","settings.localEnvironments.save.disabled.name":"Pievieno vides nosaukumu, lai to saglabātu.","settings.localEnvironments.save.disabled.noChanges":"Nav izmaiņu, ko saglabāt.","settings.localEnvironments.save.disabled.saving":"Saglabā…","settings.localEnvironments.save.success":"Saglabāta lokālā vide","settings.localEnvironments.unavailable.body":"Neizdevās ielādēt lokālās vides iestatījumus šim projektam.","settings.localEnvironments.unavailable.title":"Lokālās vides nav pieejamas","settings.localEnvironments.workspace.add":"Pievienot projektu","settings.localEnvironments.workspace.title":"Projekts","settings.localEnvironments.workspaceSelect.addLabel":"Pievienot vidi","settings.localEnvironments.workspaceSelect.description":"Lokālās vides norāda Codex, kā projektam iestatīt worktree. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Vēl nav projektu. Pievieno projektu, lai konfigurētu lokālās vides.","settings.localEnvironments.workspaceSelect.errorLabel":"Videi jāpievērš uzmanība","settings.localEnvironments.workspaceSelect.learnMore":"Uzzini vairāk","settings.localEnvironments.workspaceSelect.listLabel":"Pieejamie projekti","settings.localEnvironments.workspaceSelect.loading":"Tiek ielādēti projekti.","settings.localEnvironments.workspaceSelect.loadingLabel":"Ielādē vidi","settings.localEnvironments.workspaceSelect.title":"Izvēlies projektu","settings.localEnvironments.workspaceSelect.viewAction":"Skatīt","settings.mcp.addServer":"Pievienot serveri","settings.mcp.app.configure":"Konfigurēšana","settings.mcp.app.connect":"Savienot","settings.mcp.apps.refresh":"Atsvaidzināt","settings.mcp.detail.addArgument":"Pievienot argumentu","settings.mcp.detail.addEnvVar":"Pievienot vides mainīgo","settings.mcp.detail.addEnvVarPassthrough":"Pievienot mainīgo","settings.mcp.detail.args":"Argumenti","settings.mcp.detail.back":"Atpakaļ","settings.mcp.detail.command":"Komanda palaišanai","settings.mcp.detail.cwd":"Darba direktorijs","settings.mcp.detail.docs":"Atvērt MCP dokumentāciju","settings.mcp.detail.docs.link":"Dokumentācija","settings.mcp.detail.envVarPassthrough":"Vides mainīgā pārnese","settings.mcp.detail.envVars":"Vides mainīgie","settings.mcp.detail.http.addEnvHeader":"Pievienot mainīgo","settings.mcp.detail.http.addHeader":"Pievienot galveni","settings.mcp.detail.http.bearerToken":"Nesēja tekstvienības vides mainīgais","settings.mcp.detail.http.envHeaders":"Galvenes no vides mainīgajiem","settings.mcp.detail.http.headers":"Galvenes","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Vārds / nosaukums","settings.mcp.detail.save":"Saglabāt","settings.mcp.detail.switchTransportNotice":"Ja vēlaties mainīt MCP servera tipu, vispirms veic atinstalēšanu.","settings.mcp.detail.titleExisting":"Atjaunināt {name} MCP","settings.mcp.detail.titleNew":"Savienoties ar pielāgotu MCP","settings.mcp.detail.transport.http":"Straumējams HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Atinstalēt","settings.mcp.empty":"Nav pievienoti pielāgoti MCP serveri","settings.mcp.myServers":"Pielāgoti serveri","settings.mcp.partnerServer.description.figma":"Ģenerē labāku kodu, iekļaujot pilnu Figma kontekstu","settings.mcp.partnerServer.description.github":"Integrē GitHub API, lai automatizētu darbplūsmas un iegūtu datus","settings.mcp.partnerServer.description.linear":"Integrē Linear jautājumu izsekošanu un projektu vadību","settings.mcp.partnerServer.description.notion":"Lasi dokumentus, atjaunini lapas, pārvaldi uzdevumus","settings.mcp.partnerServer.description.playwright":"Integrē pārlūka automatizāciju, lai īstenotu dizainu un testētu lietotāja saskarni.","settings.mcp.partnerServer.install":"Instalēt","settings.mcp.partnerServer.installAndAuthenticate":"Instalēt un autentificēt","settings.mcp.partnerServer.logoAlt":"{label} logotips","settings.mcp.partnerServer.manage":"Pārvaldīt","settings.mcp.partnerServer.vendor":"Autors: {vendor}","settings.mcp.recommendedServers":"Ieteicamie serveri","settings.mcp.restartApp":"Restartēt","settings.mcp.restartExtension":"Pārstartēt paplašinājumu","settings.mcp.server.enable":"Iespējot","settings.mcp.server.login":"Pieteikšanās","settings.mcp.server.settings":"Iestatījumi","settings.multiselect.createOption":"Izveidot “{value}”","settings.multiselect.removeOption":"Dzēst","settings.nav.account":"Konts","settings.nav.agent":"Konfigurācija","settings.nav.ariaLabel":"Iestatījumi","settings.nav.back":"Atpakaļ uz lietotni","settings.nav.data-controls":"Arhivētie pavedieni","settings.nav.environments":"Mākoņvides","settings.nav.externalTooltip":"[alpha] Atveras pārlūkprogrammā","settings.nav.general-settings":"Vispārīgi","settings.nav.git-settings":"Git","settings.nav.local-environments":"Vides","settings.nav.mcp-settings":"MCP serveri","settings.nav.notImplemented":"[alpha] Nav pieejams Alpha versijā","settings.nav.personalization":"Personalizācija","settings.nav.skills-settings":"Prasmes","settings.nav.usage-analytics":"Lietojums un analītika","settings.nav.worktrees":"Worktree","settings.openSourceLicenses.back":"Atpakaļ","settings.openSourceLicenses.loading":"Ielādē…","settings.openSourceLicenses.missing":"Trešo pušu paziņojumi netika atrasti.","settings.openSourceLicenses.notSupported":"Nav pieejams šajā resursdatorā.","settings.openSourceLicenses.rowDescription":"Trešo pušu paziņojumi par komplektā iekļautajām atkarībām","settings.openSourceLicenses.rowLabel":"Atklātā pirmkoda licences","settings.openSourceLicenses.subtitle":"Trešo pušu paziņojumi par šajā lietotnē iekļautajām atkarībām","settings.openSourceLicenses.title":"Atklātā pirmkoda licences","settings.openSourceLicenses.view":"Skatīt","settings.personalization.agents.description":"Rediģē norādes, kas pielāgo Codex tavām vajadzībām. {learnMore}","settings.personalization.agents.learnMore":"Uzzini vairāk","settings.personalization.agents.loadError":"Neizdevās ielādēt agents.md.","settings.personalization.agents.loading":"Ielādē agents.md…","settings.personalization.agents.placeholder":"Pievienot pielāgotas norādes…","settings.personalization.agents.retry":"Mēģināt vēlreiz","settings.personalization.agents.save":"Saglabāt","settings.personalization.agents.save.error":"Neizdevās saglabāt agents.md","settings.personalization.agents.save.success":"agents.md ir saglabāts","settings.personalization.agents.title":"Pielāgotas norādes","settings.personalization.personality.description":"Izvēlies noklusējuma tonalitāti Codex atbildēm","settings.personalization.personality.label":"Personība","settings.sample.contentBody":"Izmanto šo izkārtojumu, lai sakārtotu iestatījumu paneļus ar vienādu atstarpi.","settings.sample.contentTitle":"Parauga satura bloks","settings.section.account":"Konts","settings.section.agent":"Konfigurācija","settings.section.data-controls":"Arhivētie pavedieni","settings.section.environments":"Mākoņvides","settings.section.external":"Atveras pārlūkprogrammā Alpha versijā","settings.section.general-settings":"Vispārīgi","settings.section.git-settings":"Git","settings.section.local-environments":"Vides","settings.section.mcp-settings":"MCP serveri","settings.section.mcp-settings.docs":"Dokumentācija","settings.section.mcp-settings.subtitle":"Pievieno ārējos rīkus un datu avotus.","settings.section.personalization":"Personalizācija","settings.section.skills-settings":"Prasmes","settings.section.unavailable":"Vēl nav pieejams Alpha versijā","settings.section.usage-analytics":"Lietojums un analītika","settings.section.worktrees":"Worktree","settings.threadDetail.description":"Nosaki, cik daudz komandu izvades rādīt pavedienos","settings.threadDetail.label":"Informācija par pavedienu","settings.worktrees.conversation.untitled":"Saruna bez nosaukuma","settings.worktrees.delete.error":"Neizdevās dzēst worktree","settings.worktrees.empty.body":"Šeit tiks parādīti Codex izveidotie worktree.","settings.worktrees.empty.title":"Nav worktree","settings.worktrees.error.body":"Ielādējot worktree, radās kļūda.","settings.worktrees.error.retry":"Mēģināt vēlreiz","settings.worktrees.error.title":"Neizdevās ielādēt worktree","settings.worktrees.loading.body":"Ielādē worktree informāciju","settings.worktrees.loading.title":"Ielādē worktree","settings.worktrees.repository.loading":"Ielādē repozitorija metadatus…","settings.worktrees.repository.unknown":"Nezināms repozitorijs","settings.worktrees.row.conversations":"Sarunas","settings.worktrees.row.conversations.empty":"Šim worktree nav saistītu sarunu.","settings.worktrees.row.conversations.loading":"Ielādē sarunas…","settings.worktrees.row.delete":"Dzēst","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Pievienot jaunu projektu","sidebarElectron.archiveThread":"Arhivēt pavedienu","sidebarElectron.archiveThreadError":"Neizdevās arhivēt pavedienu","sidebarElectron.collapseFolder":"Sakļaut mapi","sidebarElectron.createStableWorktree.dialog.cancel":"Atcelt","sidebarElectron.createStableWorktree.dialog.create":"Izveidot","sidebarElectron.debugNavLink":"Atkļūdošana","sidebarElectron.editWorkspaceRootOptionName":"Rediģēt nosaukumu","sidebarElectron.expandFolder":"Izvērst mapi","sidebarElectron.groupByMenu.recency":"Hronoloģisks saraksts","sidebarElectron.groupByMenu.title":"Organizēt","sidebarElectron.groupByMenu.workspace":"Pēc projekta","sidebarElectron.inboxRouteNavLink":"Automatizācija","sidebarElectron.markThreadUnread":"Atzīmēt kā nelasītu","sidebarElectron.missingWorkspaceRoot":"Šī projekta mape ir dzēsta vai pārvietota","sidebarElectron.newThread":"Jauns pavediens","sidebarElectron.newThreadInGroup":"Sākt jaunu pavedienu {folder}","sidebarElectron.noRecentThreads":"Nav nesenu pavedienu","sidebarElectron.noTasks":"Nav pavedienu","sidebarElectron.noTasks.start":"Pievienot jaunu projektu","sidebarElectron.noTasksWithFilter":"Neviens pavediens neatbilst filtriem","sidebarElectron.pinnedThreads":"Piespraustie pavedieni","sidebarElectron.recentNavLink":"Pavedieni","sidebarElectron.recentThreads":"Nesenie pavedieni","sidebarElectron.removeWorkspaceRootOption":"Dzēst","sidebarElectron.renameThread":"Pārdēvēt pavedienu","sidebarElectron.renameThreadDialogAriaLabel":"Pavediena nosaukums","sidebarElectron.renameThreadDialogCancel":"Atcelt","sidebarElectron.renameThreadDialogPlaceholder":"Pievienot nosaukumu…","sidebarElectron.renameThreadDialogSave":"Saglabāt","sidebarElectron.renameThreadDialogSubtitle":"Nosaukumam jābūt īsam un atpazīstamam.","sidebarElectron.renameThreadDialogTitle":"Pārdēvēt pavedienu","sidebarElectron.renameThreadError":"Neizdevās pārdēvēt pavedienu","sidebarElectron.renameWorkspaceRootOptionLabel":"Displeja nosaukums","sidebarElectron.showLess":"Parādīt mazāk","sidebarElectron.showMenu.all":"Visi pavedieni","sidebarElectron.showMenu.relevant":"Būtisks","sidebarElectron.showMenu.relevantHint":"Rādīt tikai pēdējās tēmas pašreizējam atzarojumam, worktree vai citām tēmām, kas prasa tavu uzmanību","sidebarElectron.showMenu.title":"Rādīt","sidebarElectron.showMenu.tooltip":"Filtrēt, kārtot un organizēt pavedienus","sidebarElectron.showMenu.trigger":"Filtrēt sānu joslas tēmas","sidebarElectron.showMore":"Parādīt vairāk","sidebarElectron.skillsRouteNavLink":"Prasmes","sidebarElectron.sortMenu.created":"Izveidots","sidebarElectron.sortMenu.title":"Kārtot pēc","sidebarElectron.sortMenu.updated":"Atjaunināts","sidebarElectron.taskNavigation":"Automatizāciju mapes","sidebarElectron.tasksInFolder":"Automatizācijas {folder}","sidebarElectron.workspaceOptions":"Projekta rīcības {folder}","sidebarElectron.worktreeGroupTooltip":"Šis ir git worktree","skills.appsPage.createSkill":"Jauna prasme","skills.appsPage.empty.skills":"Nav prasmju","skills.appsPage.search.skills":"Meklēt prasmes","skills.appsPage.search.skills.label":"Meklēt prasmes","skills.appsPage.section.installedApps":"Instalēts","skills.appsPage.section.skills":"Prasmes","skills.appsPage.subheading":"Piešķir Codex superspējas. <link>Uzzini vairāk</link>","skills.appsPage.tab.recommended":"Ieteicams","skills.appsPage.tab.skills":"Prasmes","skills.card.contentsError":"Neizdevās ielādēt prasmju saturu.","skills.card.disable":"Atspējot","skills.card.disableSuccess":"{skillName} prasme atspējota","skills.card.disabledBadge":"Atspējots","skills.card.enable":"Iespējot","skills.card.enableSuccess":"{skillName} prasme iespējota","skills.card.loadingContents":"Ielādē prasmju saturu...","skills.card.more":"Vairāk rīcību","skills.card.open":"Atvērts","skills.card.removeFailed":"Neizdevās atinstalēt prasmi","skills.card.removeSuccess":"{skillName} prasme atinstalēta","skills.card.toggleEnabledError":"Neizdevās atjaunināt prasmi","skills.card.try":"Izmēģināt","skills.card.trySkill":"Izmēģināt prasmi","skills.card.uninstall":"Atinstalēt","skills.hero.dotLabel":"Pāriet uz slaidu {index}","skills.hero.next":"Nākamā ievērojamā prasme","skills.hero.trySkill":"Izmēģināt prasmi","skills.page.createSkill":"Jauna prasme","skills.page.empty":"Nav prasmju","skills.page.filteredEmpty":"Neviena prasme neatbilst filtriem","skills.page.filteredEmptyDescription":"Mēģināt pielāgot meklēšanas vai tvēruma filtrus","skills.page.heading":"Prasmes","skills.page.loading":"Ielādē prasmes...","skills.page.refreshSkills":"Atsvaidzināt","skills.page.refreshSkillsToUseNew":"Atsvaidzini, lai izmantotu jaunas prasmes","skills.page.search":"Meklēt prasmes","skills.page.search.label":"Meklēt prasmes","skills.page.subheading":"Piešķir Codex superspējas. <link>Uzzini vairāk</link>","skills.preview.copyPrompt":"Kopēt uzvedni","skills.preview.examplePrompt":"Uzvednes piemērs","skills.recommended.error":"Neizdevās ielādēt ieteicamās prasmes","skills.recommended.install":"Instalēt","skills.recommended.installSkill":"Instalēt prasmi","skills.recommended.installSuccess":"{skillName} prasme instalēta","skills.recommended.installed":"Instalēts","skills.scope.admin":"Administrators","skills.scope.adminInstalled":"Administratora instalēts","skills.scope.builtIn":"Sistēma","skills.scope.personal":"Personīgais","skills.scope.repo":"Repozitorijs","skills.scope.system":"Sistēma","skills.scope.team":"Komanda","skills.scope.user":"Lietotājs","skills.section.installed":"Instalēts","skills.section.recommended":"Ieteicams","story.slidingToggle.existing":"Esošs","story.slidingToggle.fromLocal":"No lokālā","story.slidingToggle.new":"Jauns","story.slidingToggle.toLocal":"Uz lokālo","terminal.close":"Aizvērt termināli","terminal.title":"Terminālis","thinkingShimmer.default":"Domā","threadEnvIcon.cloudTooltip":"Šī saruna notiek Codex Cloud.","threadEnvIcon.localTooltip":"Šī saruna notiek lokāli.","threadEnvIcon.worktreeTooltip":"Šī saruna notiek lokalā git darba kopijā.","threadHeader.archiveConfirmCancel":"Atcelt","threadHeader.archiveConfirmConfirm":"Arhivēt","threadHeader.archiveConfirmSubtitle":"To vēlāk vari atrast arhivētajos pavedienos.","threadHeader.archiveConfirmTitle":"Arhivēt pavedienu?","threadHeader.copyAppLink":"Kopēt deeplink","threadHeader.copySessionId":"Kopēt sesijas ID","threadHeader.copyWorkingDirectory":"Kopēt darba direktoriju","threadHeader.forkIntoLocal":"Sazarot lokāli","threadHeader.forkIntoWorktree":"Sazarot jaunā worktree","threadHeader.forkPendingWorktreePrompt":"Sazarot šo sarunu jaunā worktree.","threadHeader.forkPendingWorktreeTitle":"Sazarota saruna","threadHeader.forkThreadError":"Neizdevās sazarot pavedienu","threadHeader.forkThreadRequiresGitRepo":"Sazarošanai jaunā worktree nepieciešams git repozitorijs","threadHeader.moreActions":"Pavediena rīcības","threadPage.newThread":"Jauns pavediens","threadPage.runAction.changeEnvironment":"Mainīt vidi","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} rīcības","threadPage.runAction.environmentSelector.label":"Izvēlēties vidi","threadPage.runAction.label":"Izpildīt","threadPage.runAction.missing.label":"Iestatīt izpildes rīcību","threadPage.runAction.setup.commandLabel":"Komanda izpildei","threadPage.runAction.setup.description":"Norādi Codex, kā instalēt atkarības un palaist lietotni.","threadPage.runAction.setup.editMore":"Vides iestatījumi","threadPage.runAction.setup.placeholder":"piemēram: npm instalēt npm izpildīt","threadPage.runAction.setup.submit":"Saglabāt un palaist","threadPage.runAction.setup.title":"Izpildīt","threadPage.runAction.tooltip.withEnvironment":"{environmentName} rīcības","threadPage.toggleDiffPanel":"Pārslēgt atšķirību paneli","threadPage.toggleTerminal":"Pārslēgt termināli","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Atvērt mapi","toolSummaryForCmd.exploredFiles":"<verb>Norādīja</verb> failus","toolSummaryForCmd.exploredFilesInPath":"<verb>Norādīja</verb> failus {path}","toolSummaryForCmd.exploringFiles":"<verb>Norāda</verb> failus","toolSummaryForCmd.exploringFilesInPath":"<verb>Norāda</verb> failus {path}","toolSummaryForCmd.ranGenericCommand":"<status>Izpildīja komandu</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Izpildīja</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lasīja</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Izpilda komandu</status>{timer}","toolSummaryForCmd.runningTimer":"vienumiem {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Meklēja</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Meklēja</verb> failus","toolSummaryForCmd.searchedForInPath":"<verb>Meklēja</verb> “{query}” ar “{path}”","toolSummaryForCmd.searchingFor":"<verb>Meklē</verb> “{query}”","toolSummaryForCmd.searchingForFiles":"<verb>Meklē</verb> failus","toolSummaryForCmd.searchingForInPath":"<verb>Meklē</verb> “{query}” iekš “{path}”","traceRecording.details.noteLabel":"Ko tu darīji, kad tas notika? (pēc izvēles)","traceRecording.details.notePlaceholder":"Pārgāju uz lielu pavedienu, tad atkārtoti pārslēdzos starp cilnēm…","traceRecording.details.submit":"Sūtīt trasējumu","traceRecording.details.subtitle":"Mēs varam nosūtīt šo profila trasējumu, lai palīdzētu diagnosticēt veiktspējas problēmas.","traceRecording.details.title":"Nosūtīt profila trasējumu?","traceRecording.progress.subtitle":"Paturi Codex atvērtu, kamēr šis process tiek pabeigts.","traceRecording.saving.title":"Saglabā trasējumu…","traceRecording.startDetails.cancel":"Atcelt","traceRecording.startDetails.submit":"Labi, sākt ierakstīšanu","traceRecording.startDetails.subtitle":"Pēc tam, kad esi noklikšķinājis uz Labi, reproducē veiktspējas problēmu, tad noklikšķini uz peldošā sarkanā indikatora, lai apturētu un pārskatītu trasējumu.","traceRecording.startDetails.title":"Kā darbojas trasējuma ierakstīšana","traceRecording.stopButton.ariaLabel":"Apturēt trasējuma ierakstīšanu","traceRecording.upload.successToast":"Profila trasējums nosūtīts.","traceRecording.uploading.title":"Augšupielādē trasējumu…","wham.diff.addComment":"Pievienot komentāru","wham.diff.binaryFile":"Binārais fails netiek rādīts","wham.diff.noContent":"Nav satura","wham.fileTag.deleted":"Dzēsta","wham.fileTag.new":"Jauns","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} st.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mēn.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} ned.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} g.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Veic uzdevumu","wham.whamProposedTask.title":"Ieteicamais uzdevums","wham.whamProposedTask.useSuggestion":"Izmantot ieteikumu","workspaceRootDialog.addError":"Neizdevās pievienot projektu","workspaceRootDialog.cancel":"Atcelt","workspaceRootDialog.confirmAdd":"Pievienot projektu","workspaceRootDialog.confirmPick":"Izmantot projektu","workspaceRootDialog.description":"Ievadi ceļu {host}, lai izmantotu kā projektu.","workspaceRootDialog.pathLabel":"Projekta ceļš","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Pievienot projekta ceļu","workspaceRootDialog.title.pick":"Izvēlies projekta ceļu","worktreeInitV2.cancel":"Atcelt","worktreeInitV2.notification.failedTitle":"Worktree iestatīšana neizdevās","worktreeInitV2.output.empty":"Gaida izvadi…","worktreeInitV2.status.error":"Worktree iestatīšana neizdevās.","worktreeInitV2.status.running":"Izveido worktree un palaiž iestatīšanu.","worktreeInitV2.status.runningFork":"Izveido worktree šīs sarunas sazarošanai.","worktreeInitV2.status.success":"Worktree ir gatavs.","worktreeInitV2.title":"Tiek izveidots worktree","worktreeInitV2.workLocallyInstead":"Strādāt lokāli","worktreeRestoreBanner.body":"Šī pavediena worktree tika noņemts, lai ietaupītu vietu","worktreeRestoreBanner.missing.body":"Šī pavediena darba direktorijs vairs nepastāv","worktreeRestoreBanner.missing.title":"Trūkst pašreizējā darba direktorija","worktreeRestoreBanner.restore.error":"Worktree atjaunošana neizdevās: {message}","worktreeRestoreBanner.restore.success":"Worktree atjaunots","worktreeRestoreBanner.restoreCta":"Atjaunot worktree","worktreeRestoreBanner.title":"Worktree sakopts"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopēt","app.sidebar.hide":"Paslēpt sānu joslu","app.sidebar.show":"Rādīt sānu joslu","app.sidebar.tooltip":"Pārslēgt sānu joslu","appHeader.installUpdate":"Atjaunināt","appSunset.body":"Šī lietotnes versija vairs netiek atbalstīta. Lejupielādē jaunāko versiju <here>šeit</here>.","appSunset.title":"Nepieciešams atjauninājums","automation.updateDirective.create":"Izveidot","automation.updateDirective.open":"Atvērts","automation.updateDirective.untitled":"Automatizācija bez nosaukuma","automation.updateDirective.update":"Atjaunināt","bestOfNIcon.attemptsTooltip":"{attempts, plural, zero {# mēģinājumi} one {# mēģinājums} other {# mēģinājumi}}","cloudTaskRow.archiveError":"Neizdevās arhivēt uzdevumu","code.diff.requestChange":"Pieprasīt izmaiņu","code.diffComment.cancel":"Atcelt","code.diffComment.comment":"Pievienot komentāru","code.diffComment.delete":"Dzēst","code.diffComment.save":"Saglabāt","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nav atrasti rezultāti.","codex.alert.closeAriaLabel":"Aizvērt","codex.appUpsellBanner.cbpApi.message":"Strādā ātrāk ar Codex lietotni. Lejupielādē to tagad vai {learnMoreLink}.","codex.appUpsellBanner.download":"Lejupielādēt","codex.appUpsellBanner.freeGo.message":"Codex ir iekļauts tavā plānā līdz 2. martam. Izmēģini Codex lietotni, lai strādātu ātrāk.","codex.appUpsellBanner.later":"Vēlāk","codex.appUpsellBanner.learnMoreLowercase":"uzzini vairāk","codex.appUpsellBanner.new":"Jauns","codex.appUpsellBanner.proPlusBusiness.message":"Izmēģini Codex lietotni ar divreiz lielākiem lietojuma limitiem līdz 2. aprīlim. Lejupielādējiet to tagad vai {learnMoreLink}.","codex.appUpsellBanner.title":"Codex lietotne","codex.applyDropdown.header.changes":"Izmaiņas","codex.applyDropdown.header.fileCount":"{count, plural, zero {# faili} one {# fails} other {# faili}}","codex.applyDropdown.header.rows":"rindas","codex.applyDropdown.header.title":"Piemērot izmaiņas","codex.applyDropdown.header.workspace":"Projekts","codex.applyDropdown.results.conflicted":"{count, plural, zero {{count} failu konflikti:} one {1 faila konflikts:} other {{count} failu konflikti:}}","codex.applyDropdown.results.empty":"Faili netika kopēti","codex.applyDropdown.results.skipped":"{count, plural, zero {Izlaisti {count} faili:} one {Izlaists 1 fails:} other {Izlaisti {count} faili:}}","codex.applyOrRevertBanner.apply":"Apstiprināt","codex.applyOrRevertBanner.applyMessage":"Piemērot izmaiņas un turpināt lokāli?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Šis uzdevums tika izveidots {environment}, tāpēc to var nebūt iespējams to piemērot pilnībā.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Izmaiņas tika veiktas {environment}, tāpēc tās var nebūt iespējams piemērot pilnībā.","codex.applyOrRevertBanner.reapply":"Piemērot atkārtoti","codex.applyOrRevertBanner.revert":"Atsaukt","codex.applyOrRevertBanner.revertMessage":"Atsaukt piemērotās izmaiņas?","codex.applyResultsDialog.applied":"Piemērots pilnībā ({count})","codex.applyResultsDialog.close":"Aizvērt","codex.applyResultsDialog.conflicted":"Konflikts ({count})","codex.applyResultsDialog.noDetails":"Nav pieejama informācija par failu.","codex.applyResultsDialog.skipped":"Izlaists ({count})","codex.applyResultsDialog.title":"Piemērot rezultātus","codex.archiveInfo":"Skatīt arhivētas tērzētavas {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Datu kontroles","codex.archiveInfo.electron":"Skatīt arhivētas tērzētavas {settingsLink}","codex.archiveInfo.extension":"Skati arhivētās tērzētavas .codex mapē.","codex.archiveInfo.settingsLink":"Iestatījumi","codex.banner.content.description":"Izpildi uzdevumus vienlaicīgi, seko līdzi to gaitai jebkur un pārskati PR ar MI palīdzību.","codex.banner.content.headline":"Codex spēj visu.","codex.cloudTaskRow.archiveTask":"Arhivēt uzdevumu","codex.cloudTaskRow.confirmArchiveTask":"Apstiprināt","codex.command.feedback":"Atsauksme","codex.command.findInThread":"Meklēt","codex.command.forceReloadSkills":"Piespiest prasmju pārlādēšanu","codex.command.logOut":"Atteikties","codex.command.manageTasks":"Pārvaldīt uzdevumus","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Atpakaļ","codex.command.navigateForward":"Pārsūtīt","codex.command.newThread":"Jauns pavediens","codex.command.nextThread":"Nākamais pavediens","codex.command.openFolder":"Atvērt mapi","codex.command.openSkills":"Doties uz prasmēm","codex.command.openThreadOverlay":"Atvērt pavedienu jaunā logā","codex.command.personalitySettings":"Personība","codex.command.previousThread":"Iepriekšējais pavediens","codex.command.settings":"Iestatījumi","codex.command.toggleDiffPanel":"Pārslēgt atšķirību paneli","codex.command.toggleSidebar":"Pārslēgt sānu joslu","codex.command.toggleTerminal":"Pārslēgt termināli","codex.commandGroup.app":"Lietotne","codex.commandGroup.configure":"Konfigurēšana","codex.commandGroup.navigation":"Navigācija","codex.commandGroup.panels":"Paneļi","codex.commandGroup.skills":"Prasmes","codex.commandGroup.thread":"Pavediens","codex.commandGroup.workspace":"Projekts","codex.commandMenu.noResults":"Nav atbilstību","codex.commandMenu.searchPlaceholder":"Meklēšanas komandas","codex.commandMenu.suggestedGroup":"Ieteikumi","codex.commandMenu.switchWorkspace":"Pāriet uz citu projektu","codex.commandMenu.title":"Komandu izvēlne","codex.common.retry":"Mēģināt vēlreiz","codex.composer.searchBranches":"Meklēt atzarojumus","codex.dialog.basic.body":"Šis ir vienkāršs modālais dialogs, kas izmanto mūsu apvalku ap Radix Dialog.","codex.dialog.basic.cancel":"Atcelt","codex.dialog.basic.confirm":"Apstiprināt","codex.dialog.basic.open":"Atvērt dialoglogu","codex.dialog.basic.title":"Parauga dialoglogs","codex.dialog.long.close":"Aizvērt","codex.dialog.long.line":"Ritināma rinda {index}, kas dialoglogā demonstrē garu saturu.","codex.dialog.long.open":"Atvērt garu dialoglogu","codex.dialog.long.title":"Gara satura dialoglogs","codex.dialog.unstyled.body":"Šis stāsts parāda, kā zvanītāji var pilnībā kontrolēt dialoga satura stilu.","codex.dialog.unstyled.open":"Atvērt dialogu bez stila","codex.dialog.unstyled.title":"Saturs bez stila","codex.diff.openInEditorPrompt.openButton":"Atvērt redaktorā","codex.diff.openInEditorPrompt.singleLine":"Fails ir pārāk liels, lai to šeit parādītu.","codex.diffView.failedToDecodeBase64Diff":"Neizdevās dekodēt base64 atšķirības","codex.diffView.filesChanged":"{fileCount, plural, zero {Mainīti # faili} one {Mainīts # fails} other {Mainīti # faili}}","codex.diffView.imagePreviewAlt":"Attēla priekšskatījums","codex.diffView.imagePreviewEmpty":"Nav attēla","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nav atšķirību datu","codex.diffView.pdfPreview.nextPage":"Nākamā lapa","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Iepriekšējā lapa","codex.diffView.pdfPreviewEmpty":"Nav PDF priekšskatījuma","codex.diffView.pdfPreviewError":"Neizdevās renderēt PDF priekšskatījumu","codex.diffView.richPreviewDisable":"Atspējot detalizētu priekšskatījumu","codex.diffView.richPreviewEnable":"Iespējot detalizētu priekšskatījumu","codex.diffView.richPreviewLoading":"Ielādē priekšskatījumu…","codex.diffView.richPreviewToggle":"Pārslēgt detalizētu priekšskatījumu","codex.diffView.switchToUnified":"Pāriet uz vienoto atšķirību skatu","codex.environmentSelector.noEnvironment":"Nav vides","codex.environments.environmentSettings":"Vides iestatījumi","codex.environments.learnMore":"Uzzini vairāk","codex.environments.listError":"Neizdevās ielādēt vides.","codex.environments.noEnvironmentsFound":"Nav atrasta neviena vide","codex.environments.searchError":"Neizdevās meklēt vides.","codex.errorBoundary.genericError":"Ak vai, radās kļūda","codex.errorBoundary.goHome":"Mēģināt vēlreiz","codex.file.patch.missing":"Neizdevās izveidot labojumu šim failam.","codex.gallery.automations.cwdLabel":"Projekti","codex.gallery.automations.nameLabel":"Vārds / nosaukums","codex.gallery.automations.namePlaceholder":"Apkopo uzdevumu","codex.gallery.automations.promptLabel":"Uzvedne","codex.gallery.automations.promptPlaceholder":"Norādi, ko Codex vajadzētu darīt","codex.gallery.dialogs.automation.label":"Automatizācijas dialoglogs","codex.gallery.dialogs.basic.body":"Izmanto šo izkārtojumu vienkāršiem apstiprinājumiem vai īsām veidlapām.","codex.gallery.dialogs.basic.cancel":"Atcelt","codex.gallery.dialogs.basic.confirm":"Apstiprināt","codex.gallery.dialogs.basic.label":"Pamata dialoglogs","codex.gallery.dialogs.basic.title":"Parauga dialoglogs","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Apraksti problēmu","codex.gallery.dialogs.feedbackSubmission.bad":"Slikts rezultāts","codex.gallery.dialogs.feedbackSubmission.bug":"Kļūda","codex.gallery.dialogs.feedbackSubmission.good":"Labs rezultāts","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Iekļaut pašreizējās Codex sesijas žurnālus","codex.gallery.dialogs.feedbackSubmission.label":"Atsauksmes iesniegšana","codex.gallery.dialogs.feedbackSubmission.other":"Cits","codex.gallery.dialogs.feedbackSubmission.placeholder":"Apraksti problēmu šeit","codex.gallery.dialogs.feedbackSubmission.submit":"Iesniegt","codex.gallery.dialogs.feedbackSubmission.title":"Atsauksme","codex.gallery.dialogs.feedbackSuccess.body":"Atsauksme augšupielādēta. Ja problēma saglabājas, atver GitHub jautājumu vai norādi tēmas identifikatoru esošā atvērtā jautājumā:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Nerādīt","codex.gallery.dialogs.feedbackSuccess.label":"Atsauksme veiksmīgi iesniegta","codex.gallery.dialogs.feedbackSuccess.title":"Atsauksme ir augšupielādēta","codex.gallery.dialogs.gitApplyResults.applied":"Piemērots pilnībā (2)","codex.gallery.dialogs.gitApplyResults.close":"Aizvērt","codex.gallery.dialogs.gitApplyResults.conflicted":"Radies konflikts (1)","codex.gallery.dialogs.gitApplyResults.label":"Piemērot rezultātus","codex.gallery.dialogs.gitApplyResults.title":"Piemērot rezultātus","codex.gallery.dialogs.gitPushError.body":"Izveido jaunāko izmaiņu pull pieprasījumu vai veic piespiedu augšupielādi, ja zini, ka attālo vēsturi var droši pārrakstīt.","codex.gallery.dialogs.gitPushError.cancel":"Atcelt","codex.gallery.dialogs.gitPushError.force":"Piespiedu augšupielāde","codex.gallery.dialogs.gitPushError.label":"Augšupielādes kļūda","codex.gallery.dialogs.gitPushError.subtitle":"Tavs atzarojums atrodas aiz origin/main.","codex.gallery.dialogs.gitPushError.title":"Neizdevās augšupielādēt izmaiņas","codex.gallery.dialogs.gitRevert.cancel":"Atcelt","codex.gallery.dialogs.gitRevert.confirm":"Atsaukt","codex.gallery.dialogs.gitRevert.label":"Atsaukt izmaiņas","codex.gallery.dialogs.gitRevert.skip":"Nejautājiet vēlreiz","codex.gallery.dialogs.gitRevert.subtitle":"Šī rīcība noņems visas šīs izmaiņas.","codex.gallery.dialogs.gitRevert.title":"Atsaukt izmaiņas?","codex.gallery.dialogs.longForm.label":"Garas veidlapas dialoglogs","codex.gallery.dialogs.proseModal.body":"Šis modālā loga stils tiek izmantots garākām norādēm, apmācībai un sarežģītiem satura blokiem.","codex.gallery.dialogs.proseModal.close":"Aizvērt","codex.gallery.dialogs.proseModal.subtitle":"Šeit vari koplietot garākas norādes vai dokumentāciju.","codex.gallery.dialogs.proseModal.title":"Prozas modālais logs","codex.gallery.dialogs.submitBlocked.label":"Iesniegšana bloķēta","codex.gallery.dialogs.submitBlocked.message":"Tavu ziņojumu neizdevās nosūtīt, jo projekts nav pieejams.","codex.gallery.dialogs.submitBlocked.ok":"Labi","codex.gallery.dialogs.submitBlocked.title":"Neizdevās nosūtīt ziņojumu","codex.gallery.dialogs.title":"Dialoglogi","codex.gallery.dropdown.filterPlaceholder":"Filtrēt vienumus","codex.gallery.dropdowns.actionRow":"Rīcību rindas","codex.gallery.dropdowns.actionRow.disabled":"Atspējota rīcība","codex.gallery.dropdowns.actionRow.primary":"Galvenā rīcība","codex.gallery.dropdowns.actionRow.secondary":"Sekundārā rīcība","codex.gallery.dropdowns.actionRow.trigger":"Rādīt rīcības","codex.gallery.dropdowns.basic":"Vienkārša nolaižamā izvēlne","codex.gallery.dropdowns.basic.newFile":"Jauns fails","codex.gallery.dropdowns.basic.newFolder":"Jauna mape","codex.gallery.dropdowns.basic.openSettings":"Atvērt iestatījumus","codex.gallery.dropdowns.basic.title":"Ātrās rīcības","codex.gallery.dropdowns.basic.trigger":"Atvērt izvēlni","codex.gallery.dropdowns.basic.upload":"Augšupielādēt","codex.gallery.dropdowns.panel":"Paneļa virsma","codex.gallery.dropdowns.panel.apply":"Apstiprināt","codex.gallery.dropdowns.panel.body":"Pārskati atšķirības un piemēro tās savam projektam.","codex.gallery.dropdowns.panel.preview":"Priekšskatījums","codex.gallery.dropdowns.panel.title":"Piemērot izmaiņas","codex.gallery.dropdowns.panel.trigger":"Atvērt paneli","codex.gallery.dropdowns.search":"Meklējama nolaižamā izvēlne","codex.gallery.dropdowns.search.first":"Alfa kanāls","codex.gallery.dropdowns.search.second":"Beta atzarojums","codex.gallery.dropdowns.search.third":"Izlaides kandidāts","codex.gallery.dropdowns.search.trigger":"Filtrēt vienumus","codex.gallery.dropdowns.submenu":"Nolaižamā izvēlne ar apakšizvēlni","codex.gallery.dropdowns.submenu.optionA":"Projekts alfa","codex.gallery.dropdowns.submenu.optionB":"Projekts beta","codex.gallery.dropdowns.submenu.optionC":"Projekts gamma","codex.gallery.dropdowns.submenu.primary":"Piešķirt īpašnieku","codex.gallery.dropdowns.submenu.secondary":"Pārvietot uz","codex.gallery.dropdowns.submenu.tertiary":"Arhivēt","codex.gallery.dropdowns.submenu.trigger":"Izvēlies rīcību","codex.gallery.dropdowns.title":"Nolaižamās izvēlnes","codex.gallery.inbox.automations.close":"Aizvērt","codex.gallery.inbox.automations.popover.cardTitle":"Pārvaldīt automatizācijas","codex.gallery.inbox.automations.popover.dialogTitle":"Pārvaldīt automatizācijas","codex.header.settingsTooltip":"Iestatījumi","codex.hunk.patch.error":"Neizdevās sagatavot","codex.hunk.patch.missing":"Neizdevās izveidot labojumu šim hunk.","codex.hunk.patch.partialSuccess":"Daļēji veiksmīgi","codex.hunk.patch.revertError":"Neizdevās atcelt sagatavošanu","codex.hunk.patch.revertSuccess":"Sagatavošana veiksmīgi atcelta","codex.hunk.patch.success":"Sagatavošana veiksmīgi pabeigta","codex.legal.autonomy.details":"Sīkāku informāciju skati {link}","codex.legal.autonomy.details.link":"Codex dokumentācijā","codex.legal.autonomy.title":"Nosaki, cik lielu autonomiju vēlies piešķirt","codex.legal.backButton":"Atpakaļ","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt.","codex.legal.cloud.taskOne.title":"Izskaidro repozitoriju jaunam izstrādātājam","codex.legal.cloud.taskThree.meta":"openai/codex · 8. okt.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Izveido tumšā režīma motīvu","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Labo kļūdu apmācības procesā","codex.legal.continue.apikey":"Turpināt","codex.legal.continueButton":"Tālāk","codex.legal.copilot.details":"Izmanto savu Copilot plānu visiem modeļu saucieniem, rēķiniem un lietojuma limitiem. Codex paplašinājuma izmantošana ir pakļauta gan {oaiTos}, gan {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHub pakalpojumu sniegšanas noteikumiem","codex.legal.copilot.oaiTosLink":"OpenAl Codex pakalpojumu sniegšanas noteikumiem","codex.legal.copilot.title":"Darbina GitHub Copilot","codex.legal.mistakes.review":"Pārskati kodu, ko tas raksta, un komandas, ko tas izpilda","codex.legal.mistakes.title":"Codex var pieļaut kļūdas","codex.legal.powered.details":"Izmanto sava plāna lietojuma limitus un {link}","codex.legal.powered.details.link":"apmācību datu iestatījumus","codex.legal.powered.title":"Darbina tavs ChatGPT konts","codex.legal.step.cloud.subtitle":"Nosūti uzdevumus Codex, lai tie tiktu izpildīti fonā, ļaujot tev strādāt ātrāk.","codex.legal.step.cloud.title":"Nodot Codex mākonī","codex.legal.step.intro.subtitle":"Codex pārlūko, rediģē, izpilda komandas un veic testus tieši tavā repozitorijā. To darbina tavs ChatGPT konts.","codex.legal.step.intro.title":"Codex tavā IDE","codex.legal.step.todo.subtitle":"Uzraksti TODO komentāru un pārvērt to Codex uzdevumā ar vienu klikšķi.","codex.legal.step.todo.title":"Pārvērt TODO Codex uzdevumos","codex.legal.todo.heading":"// TODO: ieviest shēmu","codex.localConversation.closeImagePreview":"Aizvērt attēla priekšskatījumu","codex.localConversation.userImageAttachment":"Lietotāja pielikums","codex.localTaskRow.archiveTask":"Arhivēt pavedienu","codex.localTaskRow.awaitingApproval":"Gaida apstiprinājumu","codex.localTaskRow.awaitingResponse":"Gaida atbildi","codex.localTaskRow.confirmArchiveTask":"Apstiprināt","codex.loggedOut.apiKeyPrompt.cancel":"Atcelt","codex.loggedOut.apiKeyPrompt.confirm":"Labi","codex.loggedOut.apiKeyPrompt.getKey":"Iegūt API atslēgu","codex.loggedOut.apiKeyPrompt.inputLabel":"Ievadi savu OpenAI API atslēgu","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Mākoņuzdevumi atspējoti ar API atslēgu","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Mākoņuzdevumi atspējoti ar Copilot un API atslēgu","codex.loggedOut.signIn":"Pierakstīties ar ChatGPT","codex.loggedOut.signIn.cancel":"Atcelt pierakstīšanos","codex.loggedOut.signInWithCopilot":"Pierakstīties ar GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Izmantot API atslēgu","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} rīks","codex.mcpTool.collapsedLabel.verb.called":"Izsauca","codex.mcpTool.collapsedLabel.verb.calling":"Izsauc","codex.mcpTool.embeddedResource.contentLabel":"Saturs","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME tips","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Rīks neatrada saturu","codex.mcpTool.rawPayloadHeading":"Neapstrādāts {server}.{tool} rīka sauciena vērtums","codex.menu.recent":"Nesenie","codex.menu.seeAllHistory":"Skatīt visu vēsturi","codex.modelCapacityBanner.headline.noReset":"{modelName} šobrīd ir pilnībā noslogots. Mēģini vēlreiz vēlāk vai sāc jaunu sarunu ar citu modeli.","codex.modelCapacityBanner.headline.withReset":"{modelName} šobrīd ir pilnībā noslogots. Mēģini vēlreiz pēc {resetDate} vai sāc jaunu sarunu ar citu modeli.","codex.modelCapacityBanner.title":"Atlasītais modelis ir pilnībā noslogots","codex.patch.change.contentsDeleted":"Saturs ir dzēsts","codex.patch.change.created":"Izveidots","codex.patch.change.created-file":"Fails izveidots","codex.patch.change.creating":"Veic izveidi","codex.patch.change.deleted":"Dzēsta","codex.patch.change.deleted-file":"Fails dzēsts","codex.patch.change.deleting":"Dzēš","codex.patch.change.edited":"Rediģēts","codex.patch.change.edited-file":"Rediģēts fails","codex.patch.change.editing":"Rediģē","codex.patch.change.noChanges":"Nav izmaiņu","codex.patch.change.rejected-add":"Noraidīts","codex.patch.change.rejected-delete":"Noraidīts","codex.patch.change.rejected-edit":"Noraidīts","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Pabeigti {completed} uzdevumi no {total}","codex.plan.todoListCreated":"Veicamo uzdevumu saraksts izveidots ar {total} uzdevumiem","codex.profileDropdown.apiKeyAuth":"Pieteicies ar API atslēgu","codex.profileDropdown.codexSettings":"Codex iestatījumi","codex.profileDropdown.copilotAuth":"Pieteicies ar Copilot","codex.profileDropdown.defaultAccountTitle":"Noklusējuma konts","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter, lai nosūtītu garas uzvednes","codex.profileDropdown.enterBehaviorError":"Neizdevās atjaunināt iestatījumu","codex.profileDropdown.getPlus":"Uzlabo plānu, lai iegūtu lielākus limitus","codex.profileDropdown.keyboardShortcuts":"Īsinājumtaustiņi","codex.profileDropdown.language":"Valoda","codex.profileDropdown.languageDefault":"Automātiski noteikt","codex.profileDropdown.languageSearchPlaceholder":"Meklēt valodas","codex.profileDropdown.languageUpdateError":"Neizdevās atjaunināt valodu","codex.profileDropdown.logOut":"Atteikties","codex.profileDropdown.mcp":"MCP iestatījumi","codex.profileDropdown.openConfigToml":"Atvērt config.toml","codex.profileDropdown.openConfigToml.wsl":"Atvērt config.toml WSL vidē","codex.profileDropdown.openExtensionSettings":"Atvērt iestatījumus","codex.profileDropdown.openMcpSettings":"Atvērt MCP iestatījumus","codex.profileDropdown.openOnStartup":"Atvērt pēc ieslēgšanas","codex.profileDropdown.openOnStartupError":"Neizdevās atjaunināt iestatījumu","codex.profileDropdown.openSkillsSettings":"Atvērt prasmju iestatījumus","codex.profileDropdown.personalAccountTitle":"Personīgais konts","codex.profileDropdown.queueFollowUps":"Ievieto papildjautājumus rindā","codex.profileDropdown.queueFollowUpsError":"Neizdevās atjaunināt iestatījumu","codex.profileDropdown.readDocs":"Lasīt dokumentāciju","codex.profileDropdown.readSkillsDocs":"Lasīt dokumentāciju","codex.profileDropdown.runInWsl":"Izpildīt WSL","codex.profileDropdown.runInWslError":"Neizdevās atjaunināt iestatījumu","codex.profileDropdown.runInWslTooltip":"Izpilda Codex WSL vidē. Ieteicams uzlabotai izolācijas drošībai un labākai veiktspējai.","codex.profileDropdown.settings":"IDE iestatījumi","codex.profileDropdown.settingsPage":"Iestatījumi","codex.profileDropdown.signInWithOpenAI":"Pierakstīties ar ChatGPT","codex.profileDropdown.skills":"Prasmju iestatījumi","codex.profileDropdown.switchToCopilotAccount":"Izmantot Copilot kontu","codex.profileDropdown.switchToOpenAIAccount":"Izmantot OpenAl kontu","codex.profileDropdown.todoCodelens":"Labot TODO komentārus","codex.profileDropdown.todoCodelensError":"Neizdevās atjaunināt iestatījumu","codex.profileDropdown.windowsDocumentation":"Windows dokumentācija","codex.profileFooter.signedInFallback":"Iestatījumi","codex.profileFooter.upgrade":"Uzlabot","codex.recentTasksMenu.clearSearch":"Dzēst meklējumu","codex.recentTasksMenu.cloud":"Mākoņuzdevumi","codex.recentTasksMenu.count":"{count, plural, =0 {Nav nepabeigtu uzdevumu} zero {# nepabeigti uzdevumi} one {# nepabeigts uzdevums} other {# nepabeigti uzdevumi}}","codex.recentTasksMenu.empty":"Nav pavedienu","codex.recentTasksMenu.errorCloud":"Neizdevās ielādēt uzdevumus.","codex.recentTasksMenu.errorCloud.inline":"Neizdevās ielādēt mākoņuzdevumus.","codex.recentTasksMenu.filterAll":"Visi","codex.recentTasksMenu.filterCloudTasks":"Filtrēt mākoņuzdevumus","codex.recentTasksMenu.filterTooltip":"Filtrēt uzdevumus pēc vides","codex.recentTasksMenu.local":"Lokālie uzdevumi","codex.recentTasksMenu.recent":"Visi uzdevumi","codex.recentTasksMenu.search":"Meklēt nesenos uzdevumus","codex.recentTasksMenu.searchEmpty":"Nav rezultātu","codex.recentTasksMenu.tooltip":"Uzdevumu vēsture","codex.recentTasksMenu.trigger":"Nesenie uzdevumi. {count, plural, zero {Tiek veikti #} one {Tiek veikts #} other {Tiek veikti #}}","codex.remoteConversation.applyDiff.applyCta":"Piemērot izmaiņas","codex.remoteConversation.applyDiff.dropdownTitle":"Piemērot izmaiņas lokālā atzarojumā","codex.remoteConversation.applyDiff.revertCta":"Atsaukt izmaiņas","codex.remoteConversation.closeImagePreview":"Aizvērt attēla priekšskatījumu","codex.remoteConversation.codexCloudTask":"Tiek skatīts <u>Codex Cloud</u> uzdevums","codex.remoteConversation.errorWithMessage":"Kļūda: {message}","codex.remoteConversation.loadingImage":"Ielādē attēlu","codex.remoteConversation.openInWeb":"Atvērt tīmeklī","codex.remoteConversation.streaming":"Sāk procesu","codex.remoteConversation.turnFailed":"Uzdevuma izpildes laikā radās kļūda","codex.remoteConversation.turnTab.loading":"{number}. mēģinājums","codex.remoteConversation.turnTab.title":"{number}. mēģinājums","codex.remoteConversation.userImageAttachment":"Lietotāja pielikums","codex.remoteConversation.viewPreviousTurns":"Atvērt tīmeklī","codex.remoteConversation.viewPreviousTurns.buttonText":"Atvērts","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Atvērt tīmeklī","codex.review.copyGitApplyCommand":"Kopēt git apply komandu","codex.review.copyGitApplyCommand.toast":"Komanda git apply kopēta uz starpliktuvi","codex.review.diffTooLarge.description":"Šis atšķirību fails ir pārāk liels, lai to parādītu pārskatā.","codex.review.diffTooLarge.title":"Atšķirību fails ir pārāk liels, lai to parādītu","codex.review.expandOrCollapseDiffButton.collapse":"Sakļaut visas atšķirības","codex.review.expandOrCollapseDiffButton.expand":"Izvērst visas atšķirības","codex.review.expandOrCollapseDiffMenu.collapse":"Sakļaut visas atšķirības","codex.review.expandOrCollapseDiffMenu.expand":"Izvērst visas atšķirības","codex.review.fileSearch.clear":"Dzēst failu filtru","codex.review.fileSearch.empty":"Neviens fails neatbilst pašreizējam filtram.","codex.review.fileSearch.label":"Filtrēt failus","codex.review.fileSearch.placeholder":"Filtrēt failus…","codex.review.filesChanged":"{num, plural, =0 {Nav mainītu failu} zero {Mainīti # faili} one {Mainīts # fails} other {Mainīti # faili}}","codex.review.find.loadMore":"Ielādēt vairāk atbilstību","codex.review.fullReview.hideFileTree":"Paslēpt failu koku","codex.review.fullReview.showFileTree":"Rādīt failu koku","codex.review.header.moreOptions":"Pārskatīšanas opcijas","codex.review.largeDiff.banner":"Atklāts liels atšķirību fails – vienlaicīgi tiek parādīts viens fails.","codex.review.loadFullFiles.disable":"Neielādēt pilnus failus","codex.review.loadFullFiles.enable":"Ielādēt pilnus failus","codex.review.noDiff":"Izmaiņas failā tiks parādītas šeit","codex.review.noDiff.gitInit.createRepository":"Izveidot git repozitoriju","codex.review.noDiff.gitInit.creating":"Tiek izveidots…","codex.review.noDiff.gitInit.error":"Git init kļūda: {message}","codex.review.noDiff.gitInit.success":"Git repozitorijs izveidots","codex.review.noDiff.gitRepoRequired.description":"Izseko un atcel izmaiņas šajā projektā","codex.review.noDiff.gitRepoRequired.title":"Izveidot Git repozitoriju","codex.review.noDiff.orNoLongerAvailable":"vai jaunākās atšķirības vairs nav pieejamas","codex.review.noDiff.reverted":"Pēdējā kārta ir atcelta","codex.review.noDiff.revertedOrCommitted":"Pēdējā kārta ir atcelta vai apstiprināta","codex.review.refreshGitQueries":"Atsvaidzināt","codex.review.revert.file.error":"Neizdevās atsaukt {path}","codex.review.revert.file.partialSuccess":"Daļēji atsaukts {path}","codex.review.revert.file.success":"Atsaukts {path}","codex.review.revert.hunk.error":"Neizdevās atsaukt hunk {hunkNumber} {path}","codex.review.revert.hunk.partialSuccess":"Hunk {hunkNumber} daļēji atsaukts {path}","codex.review.revert.hunk.success":"Hunk {hunkNumber} atsaukts {path}","codex.review.revert.section.error":"Neizdevās atsaukt sadaļu","codex.review.revert.section.partialSuccess":"Sadaļa daļēji atsaukta","codex.review.revert.section.success":"Sadaļa atsaukta","codex.review.revertDialog.cancel":"Atcelt","codex.review.revertDialog.confirm":"Apstiprināt","codex.review.revertDialog.message":"Šī rīcība noņems visas šīs izmaiņas.","codex.review.revertDialog.skip":"Nejautājiet vēlreiz","codex.review.revertDialog.title":"Atsaukt izmaiņas?","codex.review.richPreview.disable":"Atspējot detalizētu priekšskatījumu","codex.review.richPreview.enable":"Iespējot detalizētu priekšskatījumu","codex.review.source.cloud":"Izmaiņas mākonī","codex.review.source.local.all":"Visas izmaiņas atzarojumā","codex.review.source.local.lastTurn":"Izmaiņas pēdējā kārtā","codex.review.source.local.uncommitted":"Neapstiprinātās izmaiņas","codex.review.source.worktree":"Neapstiprinātas worktree izmaiņas","codex.review.stageFilter.empty.staged.description":"Apstiprini izmaiņas, lai tās sagatavotu","codex.review.stageFilter.empty.staged.title":"Nav sagatavotu izmaiņu","codex.review.stageFilter.empty.unstaged.description":"Izmaiņas kodā tiks parādītas šeit.","codex.review.stageFilter.empty.unstaged.title":"Nav nesagatavotu izmaiņu.","codex.review.stageFilter.staged":"Sagatavotas","codex.review.stageFilter.staged.count":"Sagatavotas · {count}","codex.review.stageFilter.unstaged":"Nesagatavotas","codex.review.stageFilter.unstaged.count":"Nesagatavotas · {count}","codex.review.switchToSplit":"Pāriet uz dalīto atšķirību skatu","codex.review.switchToUnified":"Pāriet uz vienoto atšķirību skatu","codex.review.toggleDiffView":"Pārslēgt atšķirību skatu","codex.review.wordDiffs.disable":"Atspējot atšķirības vārdos","codex.review.wordDiffs.enable":"Iespējot atšķirības vārdos","codex.review.wrap.disable":"Atspējot teksta aplaušanu","codex.review.wrap.enable":"Iespējot teksta aplaušanu","codex.section.patch.missing":"Neizdevās izveidot labojumu šai sadaļai.","codex.shell.collapse":"Sakļaut čaulu","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kopēts čaulas saturs","codex.shell.copy.copyTooltip":"Kopēt čaulas saturu","codex.shell.copyCommand":"Kopēt komandu","codex.shell.copyOutput":"Kopēt izvadi","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Izvērst čaulu","codex.shell.name":"Čaula","codex.shell.noOutput":"Nav izvades","codex.signInFailed.message":"Pierakstīšanās neizdevās: {rawMessage}","codex.stories.toast.show":"Rādīt paziņojumu","codex.stories.tooltip.basic":"Šī ir paskaidre","codex.stories.tooltip.hoverMe":"Novieto kursoru virs manis","codex.stories.tooltip.largerOffset":"Šai paskaidrei ir lielāka nobīde","codex.stories.tooltip.offsetButton":"Lielāka nobīde","codex.stories.tooltip.shortcutButton":"Ar saīsni","codex.stories.tooltip.withShortcut":"Pārslēgt termināli","codex.taskRow.title":"Jauns pavediens","codex.taskRowLayout.confirm":"Apstiprināt","codex.threadFindBar.chatFilter":"Meklēt tērzētavā","codex.threadFindBar.close":"Aizvērt rezultātu","codex.threadFindBar.diffFilter":"Meklēt atšķirības","codex.threadFindBar.label":"Meklēt pavedienā","codex.threadFindBar.nextResult":"Nākamais rezultāts","codex.threadFindBar.noResults":"0 rezultātu","codex.threadFindBar.placeholder":"Meklēt pavedienā…","codex.threadFindBar.placeholder.extension":"Meklēt pavedienā…","codex.threadFindBar.placeholder.review":"Meklēt atšķirības…","codex.threadFindBar.placeholder.review.extension":"Meklēt atšķirības…","codex.threadFindBar.previousResult":"Iepriekšējais rezultāts","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, zero {Mainīti # faili} one {Mainīts # fails} other {Mainīti # faili}}","codex.unifiedDiff.inlineLargeFile":"Pārāk liels, lai attēlotu kā iekļautu","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Atsaukt","codex.unifiedDiff.revertPatchError":"Neizdevās atcelt izmaiņas","codex.unifiedDiff.revertPatchSuccess":"Izmaiņas ir atceltas","codex.unifiedDiff.reviewChangesSuffix":"izmaiņas","codex.unifiedDiff.reviewShort":"Pārskats","codex.unifiedDiff.viewDiffTooltip":"Pārskats","codex.upsellBanner.business.headline":"Lai tagad iegūtu plašāku piekļuvi, nosūti pieprasījumu savam administratoram, vai gaidi līdz {resetDate}.","codex.upsellBanner.cbp.headline":"Lai tagad iegūtu plašāku piekļuvi, nosūti pieprasījumu savam administratoram.","codex.upsellBanner.cta.addCredits":"Pievienot kredītus","codex.upsellBanner.cta.upgradeAccount":"Uzlabot","codex.upsellBanner.cta.viewUsage":"Skatīt lietošanas datus","codex.upsellBanner.free.trialHeadline":"Tavs lietojuma limits tiks atiestatīts {resetDate}. Lai turpinātu izmantot Codex un iegūtu piekļuvi GPT-5.3-Codex, sāc bezmaksas Plus izmēģinājumu jau šodien.","codex.upsellBanner.freeOrGo.headline":"Tavs lietojuma limits tiks atiestatīts {resetDate}. Lai turpinātu izmantot Codex, uzlabo plānu uz Plus.","codex.upsellBanner.general.headline":"Tavs lietojuma limits tiks atiestatīts {resetDate}.","codex.upsellBanner.general.title":"Beigušies pieejamie Codex ziņojumi","codex.upsellBanner.go.trialHeadline":"Tavs lietojuma limits tiks atiestatīts {resetDate}. Lai turpinātu izmantot Codex, sāc bezmaksas Plus izmēģinājumu jau šodien. ","codex.upsellBanner.plus.headline":"Tavs lietojuma limits tiks atiestatīts {resetDate}. Lai turpinātu izmantot Codex, pievieno kredītus vai uzlabo plānu uz Plus.","codex.upsellBanner.pro.headline":"Tavs lietojuma limits tiks atiestatīts {resetDate}. Lai turpinātu izmantot Codex, pievieno kredītus.","codex.userMessage.autoResolveSync":"Automātiski atrisināt konfliktus","codex.userMessage.commentCount":"{count, plural, zero {# komentāri} one {# komentārs} other {# komentāri}}","codex.userMessage.copiedAriaLabel":"Nokopēts","codex.userMessage.copiedTooltip":"Nokopēts","codex.userMessage.copyAriaLabel":"Kopēt ziņojumu","codex.userMessage.copyTooltip":"Kopēt","codex.userMessage.implementPlan":"Plāna īstenošana","codex.userMessage.noContent":"(Nav satura)","codex.userMessage.priorConversation":"Atsaucas uz iepriekšēju sarunu","codex.userMessage.reviewMode":"Pārskatīšanas režīms","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"vienumiem {query}","codex.webSearch.summary.verb.completed":"Meklēja tīmeklī","codex.webSearch.summary.verb.inProgress":"Meklē tīmeklī","codex.windowsInstallWslBanner.dismiss":"Nerādīt","codex.windowsInstallWslBanner.installWslCta":"Iespējot izolācijas vidi","codex.windowsInstallWslBanner.learnMore":"Uzzini vairāk","codex.windowsSandboxBanner.content":"Aģenta režīms izmanto eksperimentālu Windows izolācijas vidi, lai ierobežotu piekļuvi failu sistēmai un tīklam. {sandboxLink}","codex.windowsSandboxBanner.title":"Iespējot izolācijas vidi aģenta režīmā","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows iestatījumi","codexUpgradeModal.body":"Mūsu jaunākais aģentiskais kodēšanas modelis — viedāks, ātrāks un spējīgāks vispārējos tehniskajos darbos. {link}","codexUpgradeModal.close":"Aizvērt","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Uzzini vairāk","codexUpgradeModal.title":"Iepazīstinām ar GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Izmēģināt GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Turpināt ar pašreizējo modeli","commentAttachments.numComments":"{count, plural, zero {# komentāri} one {# komentārs} other {# komentāri}}","commentAttachments.removeAriaLabel":"Noņemt komentāru pielikumu","common.close":"Aizvērt","composer.addContext.openFilePickerError":"Neizdevās atvērt failu izvēlni","composer.addContextDropdown.ariaLabel":"Failu pievienošana un citas funkcijas","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Failu pievienošana un citas funkcijas","composer.addPhotosAndFiles":"Pievienot fotoattēlus un failus","composer.atMentionList.emptyQuery":"Raksti, lai meklētu failus","composer.atMentionList.loading":"Meklē...","composer.atMentionList.noResults":"Nav rezultātu","composer.attemptsSelector.option":"{count, plural, zero {# versijas} one {# versija} other {# versijas}}","composer.attemptsSelector.tooltip":"Codex paralēlo mēģinājumu skaits","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Apturēt","composer.cloudFollowUp.cloud":"Mākonis","composer.cloudFollowUp.local":"Lokāli","composer.cloudFollowUp.whereRun":"Kur jāveic šī turpmākā izpilde?","composer.cloudTaskCreationError":"Izveidojot mākoņuzdevumu, radās kļūda","composer.cloudTaskError":"Izveidojot uzdevumu, radās kļūda","composer.contextWindow.autoCompactionTooltipLine1":"Codex automātiski saspiež tā kontekstu","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Konteksta periods:","composer.contextWindowUsageStatusFull":"{usage}% pilna","composer.contextWindowUsageStatusLeft":"Izmantots(-i) {usage}% (atliek {remaining}%)","composer.contextWindowUsageTooltip":"Izmantoti {usedTokens} tūkst. žetoni no {contextWindow} tūkst.","composer.customCliTooltip":"Izmantojot pielāgotu CLI izpildāmo failu","composer.dictation.aria":"Diktēšana","composer.dictation.cancel.aria":"Beigt diktēšanu","composer.dictation.cancel.tooltip":"Beigt diktēšanu","composer.dictation.startError":"Neizdevās uzsākt diktēšanu","composer.dictation.submit.aria":"Transkribēt un nosūtīt","composer.dictation.submit.tooltip":"Transkribēt un nosūtīt","composer.dictation.tooltip":"Turi, lai diktētu","composer.dictation.transcribeError":"Neizdevās transkribēt audio","composer.dictation.unsupported":"Diktēšana šajā ierīcē nav pieejama","composer.dropOverlay.holdShift":"Turi nospiestu {key}, lai nomestu","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Izveidot jaunu","composer.environmentSelector.error":"Ielādējot vides, radās kļūda","composer.environmentSelector.goBack":"Atgriezties pie sastādītāja","composer.environmentSelector.title":"Atlasi vidi","composer.environmentSelector.tooltip":"Izvēlies mākoņvidi","composer.feedbackSlashCommand.title":"Atsauksme","composer.filePicker.selectFile":"Atlasi failu","composer.filePicker.selectFiles":"Atlasīt failus","composer.followerTooltip":"Lai turpinātu, atgriezies logā, kurā sākās šī saruna.","composer.footer.branchSwitch.checkoutError":"Neizdevās pārslēgties uz atzarojumu: {message}","composer.footer.branchSwitch.createAndCheckout":"Izveidot un izrakstīt jaunu atzarojumu…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Iesūti izmaiņas, lai izveidotu un izrakstītu jaunu atzarojumu","composer.footer.branchSwitch.createBranchError":"Neizdevās izveidot atzarojumu: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Atzarojuma nosaukums","composer.footer.branchSwitch.createDialog.branchExistsError":"Atzarojums jau pastāv.","composer.footer.branchSwitch.createDialog.close":"Aizvērt","composer.footer.branchSwitch.createDialog.createAndCheckout":"Izveidot un izrakstīt","composer.footer.branchSwitch.createDialog.placeholder":"jauns-atzarojums","composer.footer.branchSwitch.createDialog.title":"Izveidot un izrakstīt atzarojumu","composer.footer.branchSwitch.createDialog.trailingSlashError":"Atzarojuma nosaukums nevar beigties ar “/”.","composer.footer.branchSwitch.tooltip":"Pāriet uz atzarojumu","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Apstiprini izmaiņas {fileCount, plural, zero {# faili} one {# fails} other {# faili}}, lai pārbaudītu {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Apstiprini","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"izmaiņas {fileCount, plural, zero {# faili} one {# fails} other {# faili}}, lai pārbaudītu{branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Atcelt","composer.footer.branchSwitch.uncommittedDialog.commit":"Apstiprini un pārslēdz atzarojumu...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Tavas veiktās izmaiņas šādos failos tiks pārrakstītas, veicot pārbaudīšanu:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Lai turpinātu atlasīto atzarojumu,","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"apstiprini izmaiņas","composer.footer.branchSwitch.uncommittedDialog.title":"Apstiprini izmaiņas, lai pārslēgtu atzarojumu","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Neiesūtītas: {fileCount, plural, zero {# faili} one {# fails} other {# faili}}","composer.forkSlashCommand.description":"Sazarot šo pavedienu lokāli vai jaunā worktree","composer.forkSlashCommand.option.local.description":"Turpināt jaunā lokālā pavedienā","composer.forkSlashCommand.option.local.title":"Sazarot lokāli","composer.forkSlashCommand.option.worktree.description":"Turpināt jaunā worktree","composer.forkSlashCommand.option.worktree.title":"Sazarot jaunā worktree","composer.forkSlashCommand.title":"Kopija","composer.ideContextIndicator":"IDE konteksts","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Iekļaut kontekstu no IDE","composer.ideContextIndicator.tooltipToggle":"lai pārslēgtos","composer.ideContextSlashCommand.disableDescription":"Izslēgt IDE kontekstu","composer.ideContextSlashCommand.enableDescription":"Iekļauj pašreizējo atlasi, atvērtos failus un citu kontekstu no tava IDE","composer.ideContextSlashCommand.title":"IDE konteksts","composer.imageInputsUnsupported":"Šis modelis neatbalsta attēlu ievadi. Izmēģini citu modeli.","composer.imageUploadFailed":"Neizdevās augšupielādēt attēlu","composer.includeIdeContextDropdown":"Iekļaut IDE kontekstu","composer.includeIdeContextDropdown.ariaLabel":"Iekļaut IDE kontekstu","composer.localCwdDropdown.addWorkspaceRoot":"Pievienot jaunu projektu","composer.localCwdDropdown.noActiveRoot":"Izvēlies savu projektu","composer.localCwdDropdown.noResults":"Nav atrastas mapes","composer.localCwdDropdown.title":"Izvēlies savu projektu","composer.localTaskError":"Uzsākot sarunu, radās kļūda","composer.mcpSlashCommand.description":"Rādīt MCP serveru statusu","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nav autentificēts","composer.mcpStatus.authOauth":"Autentificēts (OAuth)","composer.mcpStatus.authToken":"Autentificēts (API atslēga)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Aizvērt","composer.mcpStatus.disabled":"Atspējots","composer.mcpStatus.emptyLabel":"Serveri:","composer.mcpStatus.emptyValue":"Nav konfigurētu MCP serveru","composer.mcpStatus.enabled":"Iespējots","composer.mcpStatus.errorLabel":"Statuss:","composer.mcpStatus.errorValue":"Neizdevās ielādēt MCP statusu","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Aģents","composer.mode.agentMode.auto.dropdownLabel":"Aģents","composer.mode.agentMode.auto.optionLabel":"Aģents","composer.mode.agentMode.changePermission":"Pārslēgt režīmu","composer.mode.agentMode.custom":"Pielāgots","composer.mode.agentMode.custom.dropdownLabel":"Pielāgots","composer.mode.agentMode.custom.option":"Pielāgots (config.toml)","composer.mode.agentMode.custom.optionLabel":"Pielāgots (config.toml)","composer.mode.agentMode.customInfo.cancel":"Atcelt","composer.mode.agentMode.customInfo.cli":"Šos iestatījumus var pielāgot no CLI vai tieši rediģējot failu.","composer.mode.agentMode.customInfo.confirm":"Izmantot pielāgoto režīmu","composer.mode.agentMode.customInfo.description":"Pielāgotais režīms piemēro apstiprināšanas un izolācijas politikas, kas noteiktas <link>config.toml</link> failā.","composer.mode.agentMode.customInfo.docs":"Uzzini vairāk par apstiprināšanas un izolācijas politiku konfigurēšanu <link>izpildes vides dokumentācijā</link>.","composer.mode.agentMode.customInfo.refresh":"Visas izmaiņas stājas spēkā nākamajā reizē, kad aģents tiek palaists.","composer.mode.agentMode.customInfo.title":"Kā darbojas pielāgotais režīms","composer.mode.agentMode.fullAccess":"Aģents (pilnīga piekļuve)","composer.mode.agentMode.fullAccess.dropdownLabel":"Aģents (pilnīga piekļuve)","composer.mode.agentMode.fullAccess.optionLabel":"Aģents (pilnīga piekļuve)","composer.mode.agentMode.fullAccessConfirm.caution":"Esi uzmanīgs, iespējojot pilnīgu piekļuvi. Tas būtiski palielina datu zaudējuma, noplūdes vai negaidītas darbības risku.","composer.mode.agentMode.fullAccessConfirm.confirm":"Jā, turpināt","composer.mode.agentMode.fullAccessConfirm.description":"Kad Codex darbojas ar pilnīgu piekļuvi, tas var rediģēt jebkuru failu tavā datorā un izpildīt komandas tīklā bez tava apstiprinājuma.","composer.mode.agentMode.fullAccessConfirm.goBack":"Atcelt","composer.mode.agentMode.fullAccessConfirm.title":"Iespējot pilnīgu piekļuvi?","composer.mode.agentMode.readOnly":"Tērzētava","composer.mode.agentMode.readOnly.dropdownLabel":"Tērzētava","composer.mode.agentMode.readOnly.optionLabel":"Tērzētava","composer.mode.agentMode.tooltip":"Pārslēgt režīmu","composer.mode.agentMode.tooltip.auto":"Lasīt un rediģēt failus, kā arī izpildīt komandas.","composer.mode.agentMode.tooltip.custom":"Izmantot jaunākās apstiprināšanas un izolācijas politikas, kas noteiktas config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex var rediģēt failus ārpus šī projekta un izpildīt komandas ar tīkla piekļuvi. Lietot piesardzīgi.","composer.mode.agentMode.tooltip.readOnly":"Failu rediģēšanai un komandu izpildei nepieciešama apstiprināšana.","composer.mode.cloud.tooltip":"Strādā mākoņvidē","composer.mode.contactAdmin":"Lai iegūtu plašāku piekļuvi, sazinies ar savu administratoru","composer.mode.local":"Lokāli","composer.mode.local.learnMore":"Uzzini vairāk","composer.mode.local.model.custom":"Pielāgots","composer.mode.local.model.loadingModel":"Ielādē modeli","composer.mode.local.model.selecrReasoningEffort":"Atlasīt apsvēršanas spējas","composer.mode.local.model.selectModel":"Atlasīt modeli","composer.mode.local.model.tooltip":"Izvēlēties modeli","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Augsts","composer.mode.local.reasoning.low.label":"Zems","composer.mode.local.reasoning.medium.label":"Vidējs","composer.mode.local.reasoning.minimal.label":"Minimālā","composer.mode.local.reasoning.none.label":"Neviens","composer.mode.local.reasoning.xhigh.label":"Īpaši augsts","composer.mode.localRemoteWhereRun":"Izvēlies, kur izpildīt uzdevumu","composer.mode.newTask.header":"Turpināt","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"Atlikušais lietojuma limits","composer.mode.rateLimit.hour":"{hours} st.","composer.mode.rateLimit.minute":"{minutes} min.","composer.mode.rateLimit.modelSectionLabel":"{modelName} limits:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, zero {{weeks} nedēļu limits} one {nedēļas limits} other {{weeks} nedēļu limits}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, zero {{weeks} nedēļā} one {Katru nedēļu} other {{weeks} nedēļā}}","composer.mode.remote.connectToCloud":"Savienot Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Iestati vidi, izmantojot Codex Web, lai varētu sūtīt uzdevumus uz mākoni","composer.mode.remote.selectEnvironment":"Atlasi vidi","composer.mode.remote.sendToCloud":"Sūtīt uz mākoni","composer.mode.remote.setupViaWeb":"Iestati vidi, izmantojot Codex Web","composer.mode.runInCloud":"Mākonis","composer.mode.runInCloudWithEnvironment":"Mākonis · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Strādāt mākoņvidē","composer.mode.segmentedToggle.local.tooltip":"Strādā lokālā projektā","composer.mode.segmentedToggle.worktree.tooltip":"Strādāt paralēlā darba kopijā","composer.mode.upgradeToPlus":"Atjaunināt uz Plus","composer.mode.upgradeToPro":"Uzlabot uz Pro","composer.mode.workLocally":"Lokāls projekts","composer.mode.workLocally.currentBranchFallback":"tavs atzarojums","composer.mode.workLocally.tooltip":"Strādā pie {branchName}","composer.mode.worktree":"Jauns worktree","composer.mode.worktree.submoduleWarning":"Šajā repozitorijā ir git apakšmoduļi. Worktree izveide var neizdoties","composer.mode.worktree.tooltip":"Izveido sava lokālā projekta dublējumu, lai strādātu paralēli","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Modeļa maiņa sarunas vidū pazeminās veiktspēju.","composer.newChat.heading.browser":"Kādu kodu rakstīsim tagad?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex izmanto config.toml noteiktās atļaujas.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ir pilnīga piekļuve tavas datoram (paaugstināts risks)","composer.permissionsDropdown.custom.label":"Pielāgots (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Pielāgots (config.toml)","composer.permissionsDropdown.default.label":"Noklusējuma atļaujas","composer.permissionsDropdown.default.optionLabel":"Noklusējuma atļaujas","composer.permissionsDropdown.default.tooltip":"Codex automātiski izpilda komandas izolācijas vidē","composer.permissionsDropdown.disabled.requirements":"requirements.toml bloķē atļaujas","composer.permissionsDropdown.fullAccess.disabled":"Pilnīga piekļuve ir atspējota ar requirements.toml","composer.permissionsDropdown.fullAccess.label":"Pilnīga piekļuve","composer.permissionsDropdown.fullAccess.optionLabel":"Pilnīga piekļuve","composer.permissionsDropdown.trigger.tooltip":"Mainīt atļaujas","composer.personalitySlashCommand.description.friendly":"Sirsnīgs, atsaucīgs un izpalīdzīgs","composer.personalitySlashCommand.description.pragmatic":"Konkrēts, uz uzdevumu orientēts un tiešs","composer.personalitySlashCommand.label.friendly":"Draudzīgs","composer.personalitySlashCommand.label.pragmatic":"Pragmatisks","composer.personalitySlashCommand.notApplicableSuffix":"(Neattiecas uz pašreizējo modeli)","composer.personalitySlashCommand.title":"Personība","composer.placeholder.cloudFollowUp.directFollowUp":"Šī mākoņuzdevuma turpinājums","composer.placeholder.cloudFollowUp.local":"Izveido jaunu lokālo uzdevumu, kas atsaucas uz šo mākoņuzdevumu","composer.placeholder.cloudFollowUp.workingTree":"Izveido jaunu mākoņuzdevumu, kas ietver tavu pašreizējo kodu un atsauksies uz šo uzdevumu","composer.placeholder.localFollowUp.cloud":"Turpinājums jaunā mākoņuzdevumā","composer.placeholder.localFollowUp.locally":"Palūdz nākamās izmaiņas","composer.placeholder.newTask.cloud":"Palūdz Codex veikt jebko mākonī","composer.placeholder.newTask.doAnything":"Palūdz Codex veikt jebko","composer.placeholder.newTask.locally":"Pajautā Codex jebko, raksti @, lai pievienotu failus, raksti /, lai izmantotu komandas","composer.planModeDropdown":"Plāna režīms","composer.planModeDropdown.ariaLabel":"Plāna režīms","composer.planModeIndicator":"Plāns","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Izveido plānu ar Codex","composer.planModeIndicator.tooltipToggle":"lai pārslēgtos","composer.planSlashCommand.disableDescription":"Atspējot plāna režīmu","composer.planSlashCommand.enableDescription":"Iespējot plāna režīmu","composer.planSlashCommand.title":"Plāna režīms","composer.priorContext.label":"Iepriekšējais konteksts","composer.priorContext.removeAriaLabel":"Noņemt iepriekšējo kontekstu","composer.queuedMessage.delete":"Dzēst rindā esošo ziņojumu","composer.queuedMessage.edit":"Rediģēt ziņojumu","composer.queuedMessage.more":"Rindā esošo ziņojumu rīcības","composer.queuedMessage.sendNow":"Vadīt","composer.queuedMessage.sendNowTooltip":"Sūtīt tagad, nepārtraucot darbu","composer.queuedMessage.turnOff":"Atspējot rindošanu","composer.reasoningEffort.local.reasoning.tooltip":"Izvēlies apsvēršanas pakāpi","composer.remote.branchStartingPoint":"No kura atzarojuma jāuzsāk uzdevums?","composer.remote.branchesSectionHeading":"Atzarojumi","composer.remote.currentEditsSuffix.followUp":"Izveido jaunu uzdevumu, kas atsaucas uz šo mākoņuzdevumu.","composer.remote.currentEditsSuffix.useLocal":"ar lokālām koda izmaiņām","composer.remote.directFollowUp":"Neizmantot lokālās izmaiņas","composer.remote.errorLoadingBranches":"Ielādējot atzarojumus, radās kļūda","composer.remote.fromBranch":"No {branch}","composer.remote.fromCurrentBranch":"No {branch} (pašreizējais)","composer.remote.loadingMoreBranches":"Ielādē…","composer.remote.localFileStateHeading":"Lokālā faila stāvoklis","composer.remote.localWorkingTree":"Izmantot lokālās izmaiņas","composer.remote.startingPoint":"No kura koda jāuzsāk uzdevums?","composer.reviewMode.branches.error":"Neizdevās ielādēt atzarojumus","composer.reviewMode.branches.retry":"Mēģināt vēlreiz","composer.reviewMode.gitRoot.error":"Git sakne nav atrasta","composer.reviewMode.option.baseBranch.simple":"Salīdzināt ar pārskata atzarojumu","composer.reviewMode.option.unstaged.simple":"Pārskatīt neapstiprinātās izmaiņas","composer.reviewMode.quickReviewError":"Neizdevās uzsākt koda pārskatu.","composer.reviewMode.title":"Pārskatīt kodu","composer.sandboxButton.unlock.disabled.tooltip":"Pilnīga piekļuve ir atspējota ar requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex var izmantot eksperimentālu Windows izolācijas vidi, lai ierobežotu piekļuvi failu sistēmai un tīklam. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Iespējot Windows izolācijas vidi?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Izmantot tikai lasāmi","composer.searchEnvironments":"Meklēt vides","composer.skillMentionList.app":"Lietotne","composer.skillMentionList.loading":"Ielādē prasmes...","composer.skillMentionList.noResults":"Nav prasmju","composer.slashCommands.cloudEnvironment.title":"Mākoņvide","composer.slashCommands.dialogLabel":"/ komandu izvēlne","composer.slashCommands.dialogTitle":"/ komandas","composer.slashCommands.disabledTooltip":"Sāc jaunu sarunu, lai izmantotu / komandas","composer.slashCommands.inputPlaceholder":"Meklēt","composer.slashCommands.noResults":"Nav komandu","composer.slashCommands.skillsGroup":"Prasmes","composer.slashCommands.tooltip":"Pārlūkot / komandas","composer.status.close":"Aizvērt","composer.statusPlain.alertLabel":"Brīdinājums:","composer.statusPlain.alertValue":"{window} atlikuši {remaining} %","composer.statusPlain.contextLabel":"Konteksts:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"(izmantoti {used} / {total})","composer.statusPlain.contextValueRemaining":"Atlikuši {remaining} %","composer.statusPlain.heading":"Statuss","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limits:","composer.statusPlain.rateLimitDays":"{count} d. limits","composer.statusPlain.rateLimitFallbackLabel":"Lietojuma limits:","composer.statusPlain.rateLimitHours":"{count} st. limits","composer.statusPlain.rateLimitLabelBase":"Lietojuma limits","composer.statusPlain.rateLimitMinutes":"{count} min. limits","composer.statusPlain.rateLimitPercent":"Atlikuši {remaining} %","composer.statusPlain.rateLimitReset":"tiks atiestatīts {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"atiestatīšanas laiks nav pieejams","composer.statusPlain.rateLimitUnavailable":"Nav pieejams","composer.statusPlain.sessionCopiedAriaLabel":"Sesijas ID ir kopēts","composer.statusPlain.sessionCopiedTooltip":"ID ir kopēts","composer.statusPlain.sessionCopyAriaLabel":"Kopēt sesijas ID","composer.statusPlain.sessionCopyTooltip":"Kopēt ID","composer.statusPlain.sessionLabel":"Sesija:","composer.statusSlashCommand.description":"Rādīt pavediena ID, konteksta lietojumu un lietojuma limitus","composer.statusSlashCommand.title":"Statuss","composer.submit.blockedDialogOk":"Labi","composer.submit.blockedDialogTitle":"Neizdevās nosūtīt ziņojumu","composer.submit.emptyMessage":"Ievadi ziņojumu, lai sāktu","composer.submit.imageInputsUnsupported":"Lai nosūtītu šo ziņojumu, izdzēs attēlus vai pārslēdzies uz citu modeli.","composer.submit.loadingLocalConfig":"Ielādē…","composer.submit.missingCloudConfig":"Nepieciešams izvēlēties mākoņvidi","composer.submit.missingCloudTurn":"Nevar turpināt šo uzdevumu","composer.submit.noWorkspace":"Pievieno projektu, lai izmantotu Codex","composer.submit.waitForImageUploads":"Augšupielādē attēlus…","composer.submitButtonTooltip.send":"Sūtīt","composer.submitButtonTooltip.stop":"Apturēt","composer.worktreeEnvironment.create":"Izveidot lokālo vidi","composer.worktreeEnvironment.default":"Noklusējuma vide","composer.worktreeEnvironment.error":"Ielādējot vides, radās kļūda","composer.worktreeEnvironment.loading":"Ielādē vides…","composer.worktreeEnvironment.title":"Lokālā vide","composer.worktreeEnvironment.tooltip":"Izvēlies lokālo vidi","composer.worktreeSetupFailed":"Neizdevās uzstādīt worktree. Pārbaudi .codex/environments, lai atrastu uzstādīšanas skriptu.","compoundButton.secondaryAction":"Sekundārā rīcība","copyButton.copied":"Nokopēts","copyButton.copiedAriaLabel":"Nokopēts","copyButton.copy":"Kopēt","copyButton.copyAriaLabel":"Kopēt","copyButton.copyCode":"Kopēt kodu","diff.actionButton.revertFile":"Atsaukt failu","diff.actionButton.revertHunk":"Atsaukt","diff.actionButton.revertSection":"Atsaukt visu","diff.actionButton.revertSectionLabel":"Atsaukt visu","diff.actionButton.stageFile":"Sagatavot failu","diff.actionButton.stageHunk":"Sagatavot","diff.actionButton.stageSection":"Sagatavot visu","diff.actionButton.stageSectionLabel":"Sagatavot visu","diff.actionButton.unstageFile":"Atcelt faila sagatavošanu","diff.actionButton.unstageHunk":"Atcelt sagatavošanu","diff.actionButton.unstageSection":"Atcelt visu sagatavošanu","diff.actionButton.unstageSectionLabel":"Atcelt visu sagatavošanu","diff.fileHeader.toggle":"Pārslēgt faila atšķirības","electron.onboarding.login.apikey.cancel":"Atcelt","electron.onboarding.login.apikey.continue":"Turpināt","electron.onboarding.login.apikey.label":"OpenAI API atslēga","electron.onboarding.login.apikey.open":"Ievadi API atslēgu","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Atcelt pierakstīšanos","electron.onboarding.login.chatgpt.continue":"Turpināt ar ChatGPT","electron.onboarding.login.devbox":"Savienoties ar attālo SSH","electron.onboarding.login.error":"Pierakstīšanās neizdevās: {rawMessage}","electron.onboarding.login.snake.start":"Spēlēt Snake","electron.onboarding.login.sshConfig.cancel":"Atcelt","electron.onboarding.login.sshConfig.continue":"Turpināt","electron.onboarding.login.sshConfig.hostnameLabel":"SSH resursdatora nosaukums","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Labākais veids, kā veikt izstrādi ar aģentiem","electron.onboarding.login.title":"Laipni lūdzam Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Turpināt","electron.onboarding.welcome.doubleLimits.description":"Par godu Codex lietotnes atklāšanai, līdz 2. aprīlim tev ir pieejami divreiz lielāki lietojuma limiti.","electron.onboarding.welcome.freego.description":"Codex ir iekļauts tavā plānā bez maksas līdz 2. martam — radīsim kopā.","electron.onboarding.welcome.new.title.anon":"Laipni lūdzam!","electron.onboarding.workspace.continue":"Turpināt","electron.onboarding.workspace.empty":"Pievieno projektu, lai turpinātu.","electron.onboarding.workspace.listLabel":"Pieejamie projekti","electron.onboarding.workspace.loading":"Ielādē projektus…","electron.onboarding.workspace.openFolder":"Pievienot projektu","electron.onboarding.workspace.selectAll":"Atlasīt visu","electron.onboarding.workspace.skip":"Izlaist","electron.onboarding.workspace.skip.error":"Neizdevās izveidot jaunu projektu: {message}","electron.onboarding.workspace.skip.error.unknown":"Nezināma kļūda","electron.onboarding.workspace.skipping":"Izveido jaunu projektu...","electron.onboarding.workspace.subtitle":"Codex varēs rediģēt failus un izpildīt komandas atlasītajās mapēs.","electron.onboarding.workspace.title":"Izvēlies projektu","errorPage.list.checkSettings":"Mēģini atjaunināt IDE iestatījumus","errorPage.list.configToml":"Pārbaudi, vai config.toml nav nederīgu iestatījumu","errorPage.list.downloadExtension":"Mēģini lejupielādēt citu paplašinājuma versiju","errorPage.list.runInWsl":"Pārbaudi iestatījumus, lai atspējotu izpildi WSL, ja ir manāmas saderības problēmas","execApprovalRequest.menu.runAlways":"Jā, un šajā sesijā vairs nejautāt","execApprovalRequest.menu.runAlwaysWithAmendment":"Jā, un atkārtoti nejautā par komandām, kas sākas ar {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Jā, un atkārtoti nejautā par komandām, kas sākas ar 1","execApprovalRequest.menu.runOnce":"Jā","execApprovalRequest.prompt":"Vai vēlies izpildīt šo komandu?","execApprovalRequest.reject":"Nē","execFooter.exitCode":"Izejas kods {code}","execFooter.exitCode.unknown":"nezināms","execFooter.success":"Darbība ir veiksmīga","feedback.dialog.category.badResult":"Slikts rezultāts","feedback.dialog.category.bug":"Kļūda","feedback.dialog.category.goodResult":"Labs rezultāts","feedback.dialog.category.other":"Cits","feedback.dialog.descriptionPlaceholder":"Apraksti problēmu šeit","feedback.dialog.dismiss":"Nerādīt","feedback.dialog.includeLogsLabel":"Iekļaut pašreizējās Codex sesijas žurnālus","feedback.dialog.submit":"Iesniegt","feedback.dialog.submitError":"Neizdevās nosūtīt atsauksmi. Mēģini vēlreiz vēlāk.","feedback.dialog.title":"Atsauksme","feedback.dialog.uploadedMessage.existingIssue":"esošs atvērts jautājums","feedback.dialog.uploadedMessage.openIssue":"atvērt GitHub jautājumu","feedback.dialog.uploadedMessage.withThread":"Atsauksme ir augšupielādēta. Ja problēma nav novērsta, {openIssueLink} vai piemini pavediena ID {existingIssueLink}:","feedback.dialog.uploadedTitle":"Atsauksme ir augšupielādēta","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Noņemt {filename}","header.back":"Atpakaļ","header.recentChats":"Uzdevumi","header.recentTasks.seeAll":"Skatīt visus ({total})","home.header.getPlus":"Iegūt Plus","home.hero.letsBuild":"Sāksim","homePage.mainContent":"Galvenais saturs","imageAttachment.defaultName":"atlasīto attēlu","imageAttachment.preview.close":"Aizvērt attēla priekšskatījumu","imageAttachment.removeAriaLabel":"Noņemt {filename}","implementPlanRequest.option.implement":"Jā, īstenot šo plānu","implementPlanRequest.prompt":"Īstenot šo plānu?","inbox.archived.deleteError":"Neizdevās dzēst arhivēto izpildi","inbox.archived.deleteRun":"Dzēst arhivēto izpildi","inbox.archived.deleteSuccess":"Dzēsts arhivēts pavediens. Skatīt <settingsLink>arhivētajos pavedienos</settingsLink>.","inbox.archived.inlineLabel.auto":"Šis pavediens tika automātiski arhivēts. <learnMoreLink>Uzzināt vairāk</learnMoreLink>","inbox.archived.inlineLabel.manual":"Šis pavediens tika arhivēts.","inbox.archived.noMessageFound":"Ziņojums nav atrasts","inbox.automations.createError":"Neizdevās izveidot automatizāciju","inbox.automations.deleteConfirm.cancel":"Atcelt","inbox.automations.deleteConfirm.confirm":"Dzēst automatizāciju","inbox.automations.deleteConfirm.description":"Automatizācija tiks neatgriezeniski dzēsta, un tika pārtraukta jebkāda turpmāka darbība.","inbox.automations.deleteConfirm.title":"Dzēst {name}?","inbox.automations.deleteError":"Neizdevās dzēst automatizāciju","inbox.automations.editTooltip":"Rediģēt automatizāciju","inbox.automations.inProgress":"Notiek darbība","inbox.automations.new":"Jauns","inbox.automations.newToolbar":"Jauna automatizācija","inbox.automations.pauseTooltip":"Pauzēt automatizāciju","inbox.automations.resumeTooltip":"Turpināt automatizāciju","inbox.automations.startingNow":"Tiek palaista","inbox.automations.startsIn":"Sāksies pēc {startTime}","inbox.automations.status.active":"Aktīvs","inbox.automations.status.paused":"Pauzēts","inbox.automations.status.runs":"{count} izpildes","inbox.automations.status.started":"Uzsākts {date}","inbox.automations.updateError":"Neizdevās atjaunināt automatizāciju","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Visi","inbox.filter.ariaLabel":"Filtrēt iesūtnes vienumus","inbox.filter.unread":"Nelasīts","inbox.list.archived":"Arhivētas","inbox.list.inProgress":"Notiek darbība","inbox.list.recent":"Pabeigts","inbox.list.upNext":"Ieplānoti","inbox.mode.automations":"Automatizācija","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nav sniegts apraksts","inbox.openThread":"Atvērt pavedienu","inbox.rightPanel.emptySubtitle":"Automatizē darbu, izveidojot plānotus uzdevumus","inbox.rightPanel.emptySubtitle.learnMore":"Automatizē darbu, izveidojot plānotus pavedienus.<link>Uzzini vairāk</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, zero {# aktīvas automatizācijas} one {# aktīva automatizācija} other {# aktīvas automatizācijas}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nav nelasītu automatizāciju","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, zero {# nelasītas automatizācijas} one {# nelasīta automatizācija} other {# nelasītas automatizācijas}}","inbox.rightPanel.emptyTitle":"Nav atlasīts vienums","inbox.rightPanel.noThread":"Šim vienumam nav pavediena","inbox.rightPanel.quickStart.header":"Sākt ar veidni","inbox.untitled":"Iesūtnes elements bez nosaukuma","loadingPage.documentationLink":"dokumentācija","loadingPage.errorDescription":"Codex apstājās ar šādu kļūdu:","loadingPage.errorDescription.documentation":"Noklikšķini “Ielādēt atkārtoti”, lai restartētu Codex paplašinājumu, vai apmeklē mūsu {documentationLink}, lai saņemtu papildu palīdzību.","loadingPage.errorSignal":"Dažas darbības, ko vari izmēģināt:","loadingPage.errorTitle":"Radusies kļūda.","loadingPage.openConfigToml":"Atvērt config.toml","loadingPage.reload":"Pārlādēt","localConversation.contextCompacted":"Konteksts automātiski saspiests","localConversation.contextCompacting":"Automātiski saspiež kontekstu","localConversation.forkedFromConversation":"Sazarots no {threadTitle}","localConversation.merge.autoResolve.failed":"Neizdevās pieprasīt automātisko atrisināšanu: {error}","localConversation.merge.autoResolve.sent":"Nosūtīts automātiskās atrisināšanas pieprasījums","localConversation.merge.autoResolveMerge.missingConversation":"Neizdevās automātiski atrisināt bez aktīvas sarunas.","localConversation.merge.autoResolveMerge.request":"Automātiski atrisināt sapludināšanas konfliktus","localConversation.modelChanged":"Modelis mainīts no {fromModel} uz {toModel}.","localConversation.modelChanged.warning.line1":"Modeļa maiņa sarunas vidū pazeminās veiktspēju.","localConversation.modelChanged.warning.line2":"Konteksts var automātiski tikt saspiests.","localConversation.moveThread.createBranch.label":"Izveidot atzarojumu","localConversation.moveToLocal.disabled.loading":"Ielādē…","localConversation.moveToLocal.modal.continue":"Turpināt","localConversation.moveToLocal.modal.destinationLabel":"Pārvietot uz","localConversation.moveToLocal.modal.retry":"Mēģināt vēlreiz","localConversation.moveToWorktree.modal.back":"Atpakaļ","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Atzarojums jau pastāv.","localConversation.moveToWorktree.modal.branchesError":"Neizdevās ielādēt atzarojumus","localConversation.moveToWorktree.modal.branchesLoading":"Ielādē atzarojumus…","localConversation.moveToWorktree.modal.branchesRetry":"Mēģināt vēlreiz","localConversation.moveToWorktree.modal.continue":"Turpināt","localConversation.moveToWorktree.modal.retry":"Mēģināt vēlreiz","localConversation.moveToWorktree.modal.trailingSlashError":"Atzarojuma nosaukums nevar beigties ar “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"jauns-atzarojums","localConversation.personalityChanged":"Pārslēgts uz personību {personality}","localConversation.planSummary.collapse":"Sakļaut plāna kopsavilkumu","localConversation.planSummary.collapseTooltip":"Sakļaut","localConversation.planSummary.download":"Lejupielādēt plānu","localConversation.planSummary.expand":"Izvērst plāna kopsavilkumu","localConversation.planSummary.expandTooltip":"Izvērst","localConversation.planSummary.openInNewWindow":"Atvērts","localConversation.planSummary.openInNewWindow.tooltip":"Atvērt jaunā logā","localConversation.planSummary.title":"Plāns","localConversation.planSummary.titleWriting":"Raksta plānu","localConversation.planSummary.viewPlan":"Izvērst plānu","localConversation.remoteTaskCreated":"Codex Cloud izveidots {taskLink}.","localConversation.remoteTaskCreated.task":"uzdevumu","localConversation.scrollToBottomButton":"Ritināt līdz apakšai","localConversation.sync.buttonLabel":"Nodot lokāli","localConversation.sync.buttonLabel.tooltip":"Nodod izmaiņas starp šo worktree un vietējo norēķinu sistēmu.","localConversation.sync.modal.loading.title":"Nodod izmaiņas…","localConversation.sync.modal.noChanges":"Nav izmaiņu","localConversation.syncSetup.branchAriaLabel":"Atzarojuma nosaukums","localConversation.syncSetup.branchName":"Atzarojuma nosaukums","localConversation.syncSetup.branchPlaceholder.existing":"Izvēlies esošu atzarojumu","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Ielādē atzarojumus…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Jau izrakstīts","localConversation.syncSetup.checkoutClean":"Pašlaik {branchName}","localConversation.syncSetup.checkoutDirty":"Pašlaik {branchName} ar neapstiprinātām izmaiņām","localConversation.syncSetup.checkoutError":"Neizdevās izrakstīt atzarojumu: {message}","localConversation.syncSetup.checkoutLabel":"Izrakstīt lokāli tagad","localConversation.syncSetup.checkoutOnLocal":"Nodot lokāli","localConversation.syncSetup.checkoutPending":"Pārbauda lokālo statusu…","localConversation.syncSetup.checkoutUnavailable":"Lokālā darba kopija nav pieejama","localConversation.syncSetup.checkoutUnknown":"Lokālais atzarojums nav pieejams","localConversation.syncSetup.continue":"Turpināt","localConversation.syncSetup.createBranchError":"Neizdevās iestatīt nodošanas atzarojumu: {message}","localConversation.syncSetup.error":"Kaut kas nogāja greizi: {message}","localConversation.syncSetup.error.workingTreeMissing":"Neizdevās izveidot worktree momentuzņēmumu. Mēģini atkārtoti veikt nodošanu.","localConversation.syncSetup.mode.ariaLabel":"Izvēlies atzarojuma režīmu","localConversation.syncSetup.mode.existing":"Esošs atzarojums","localConversation.syncSetup.mode.new":"Jauns atzarojums","localConversation.syncSetup.noBranches":"Atzarojumi nav atrasti","localConversation.syncSetup.overwriteError":"Atzarojums tika izveidots, bet nav pilnībā nodots. Veic nodošanu manuāli, pirms veic lokālu izrakstīšanu.","localConversation.syncSetup.setPrefix":"Iestatīt prefiksu","localConversation.syncSetup.subtitle":"Testē un rediģē worktree izmaiņas lokāli. <a>Uzzināt vairāk</a>","localConversation.syncSetup.success.checkedOut":"Atzarojums ir izveidots un izrakstīts lokāli","localConversation.syncSetup.success.notCheckedOut":"Atzarojums izveidots","localConversation.syncSetup.title":"Nodot lokālam atzarojumam","localConversation.syncWorktreeError.branchAriaLabel":"Atzarojuma nosaukums","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Izvēlies atzarojumu, uz kuru veikt nodošanu, un mēģini atkārtoti ielādēt izmaiņas.","localConversation.syncWorktreeError.branchSetup.title":"Atjaunināt atzarojumu","localConversation.syncWorktreeError.branchUpdate.cta":"Atjaunināt un mēģināt vēlreiz","localConversation.syncWorktreeError.branchUpdate.error":"Neizdevās atjaunināt atzarojumu: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Kaut kas nogāja greizi: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Atzarojums nav izrakstīts nevienā worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Apstiprināt","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Lai piemērotu neapstiprinātas izmaiņas, atzarojums ir jāizraksta lokāli","localConversation.syncWorktreeV2.branches.empty":"Atzarojumi nav atrasti","localConversation.syncWorktreeV2.branches.loading":"Ielādē atzarojumus…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Mainīt nodošanas atzarojumu","localConversation.syncWorktreeV2.changeBranch.error":"Neizdevās mainīt nodošanas atzarojumu: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Piemērošana neizdevās","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Worktree pārrakstīšana neizdevās","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Lokālā pārrakstīšana neizdevās","localConversation.syncWorktreeV2.commandError.back":"Atpakaļ","localConversation.syncWorktreeV2.commandError.body":"Nodošanas laikā neizdevās izpildīt git komandu. Pārskati izvadi un mēģini vēlreiz.","localConversation.syncWorktreeV2.commandError.retry":"Mēģināt vēlreiz","localConversation.syncWorktreeV2.description":"Nodod izmaiņas starp lokālo repozitoriju un šo worktree <a>Uzzināt vairāk</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Izvēlies nodošanas virzienu","localConversation.syncWorktreeV2.error.generic":"Nodošanas laikā radās kļūda. Mēģini vēlreiz.","localConversation.syncWorktreeV2.localBranchLabel":"Lokāli","localConversation.syncWorktreeV2.noChanges":"Aprēķina izmaiņas","localConversation.syncWorktreeV2.noChanges.summary":"Nav izmaiņu","localConversation.syncWorktreeV2.overwrite.local":"Pārrakstīt lokāli","localConversation.syncWorktreeV2.overwrite.worktree":"Pārrakstīt worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Neizdevās piemērot izmaiņas","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Neizdevās pārrakstīt lokālās izmaiņas","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Neizdevās pārrakstīt worktree izmaiņas","localConversation.syncWorktreeV2.partial.appliedLabel":"Piemērots","localConversation.syncWorktreeV2.partial.back":"Atpakaļ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Atrisini konfliktus un mēģini vēlreiz.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikti","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, zero {# faili} one {# fails} other {# faili}}","localConversation.syncWorktreeV2.partial.retry":"Mēģināt vēlreiz","localConversation.syncWorktreeV2.partial.skippedLabel":"Izlaida","localConversation.syncWorktreeV2.stateFailed.generic":"Ielādējot worktree izmaiņas nodošanai, radās kļūda. Mēģini vēlreiz.","localConversation.syncWorktreeV2.stateFailed.title":"Worktree izmaiņu ielāde neizdevās","localConversation.syncWorktreeV2.statusError.diffUnknown":"Worktree izmaiņu ielāde neizdevās.","localConversation.syncWorktreeV2.statusError.retry":"Mēģināt vēlreiz","localConversation.syncWorktreeV2.statusError.title":"Nevar ielādēt vietējā atzarojuma izmaiņas","localConversation.syncWorktreeV2.statusError.unknown":"Atzarojuma statuss pašlaik nav pieejams. Mēģini vēlreiz.","localConversation.syncWorktreeV2.success.apply":"Izmaiņas veiksmīgi piemērotas","localConversation.syncWorktreeV2.success.overwrite":"Nodošana veiksmīga","localConversation.syncWorktreeV2.title":"Nodot izmaiņas","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Jautā {count, plural, zero {jautājumus} one {jautājums} other {jautājumus}}","localConversation.userInputRequest.noAnswer":"Atbilde nav sniegta","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Jautāja","localConversation.userInputRequest.summary.count":"{count, plural, zero {# jautājumus} one {# jautājums} other {# jautājumus}}","localConversation.workedFor":"Darbojās {time}","localConversation.worktreeBranchSetup.action.create":"Izveidot","localConversation.worktreeBranchSetup.branchAriaLabel":"Atzarojuma nosaukums","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Izveidot jaunu atzarojumu","localConversation.worktreeBranchSetup.checkoutDisabled":"Šis atzarojums jau ir izrakstīts {location}","localConversation.worktreeBranchSetup.checkoutError":"Neizdevās izrakstīt atzarojumu: {message}","localConversation.worktreeBranchSetup.createBranchError":"Neizdevās iestatīt atzarojumu: {message}","localConversation.worktreeBranchSetup.error":"Kaut kas nogāja greizi: {message}","localConversation.worktreeBranchSetup.subtitle":"Izveido atzaru, lai iesūtītu izmaiņas, kā arī nosūtītu un izveidotu PR no šī worktree. <a>Uzzināt vairāk</a>","localConversation.worktreeBranchSetup.title":"Strādāt šeit","localConversationPage.addWorktreeToSidebar.tooltip":"Saglabā kā projektu, lai no šī worktree varētu izveidot jaunus pavedienus","localConversationPage.addWorktreeToSidebarError":"Neizdevās pievienot projektu","localConversationPage.commitAndCreatePrModal.errorTitle":"Iesūtīšana un PR izveide neizdevās","localConversationPage.commitAndCreatePrModal.successTitle":"Iesūtīšana un PR izveide ir paveikta","localConversationPage.commitAndPushModal.errorTitle":"Iesūtīšana un augšupielāde neizdevās","localConversationPage.commitAndPushModal.successTitle":"Izmaiņas ir iesūtītas un augšupielādētas","localConversationPage.commitCreatePr.open":"Atvērt pull pieprasījumu","localConversationPage.commitCreatePr.successTitle":"Izveidots PR ar tavām jaunākajām izmaiņām","localConversationPage.createBranchButtonLabel":"Atzarojums šeit","localConversationPage.createPrModal.baseBranch":"Bāze","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Izveidot PR","localConversationPage.createPrModal.createDescription":"Atver pull pieprasījumu savām jaunākajām izmaiņām.","localConversationPage.createPrModal.errorTitle":"Pull pieprasījums neizdevās","localConversationPage.createPrModal.headBranch":"Galva","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Atvērt PR","localConversationPage.createPrModal.successTitle":"Pull pieprasījums ir izveidots","localConversationPage.createPrModal.title":"Izveidot pull pieprasījumu","localConversationPage.createPrModal.viewDescription":"Šim atzarojumam jau pastāv pull pieprasījums.","localConversationPage.createPrModal.viewTitle":"Pull pieprasījums ir gatavs","localConversationPage.createPullRequestAuthGh":"Autentificē GitHub CLI: izpildi “gh auth login”","localConversationPage.createPullRequestBranchMissing":"Nav pieejama informācija par atzarojumu","localConversationPage.createPullRequestButtonLabel":"Izveidot PR","localConversationPage.createPullRequestButtonLabel.loading":"Izveido PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Nav pieejama informācija par noklusējuma atzarojumu","localConversationPage.createPullRequestError":"Neizdevās izveidot pull pieprasījumu.","localConversationPage.createPullRequestExistingPullRequest":"Šim atzarojumam jau pastāv pull pieprasījums","localConversationPage.createPullRequestGhStatusMissing":"Ielādē GitHub CLI statusu…","localConversationPage.createPullRequestInstallGh":"Instalē GitHub CLI (gh), lai izveidotu PR","localConversationPage.createPullRequestNoRepo":"Nav atrasts git repozitorijs","localConversationPage.createPullRequestPushStatusMissing":"Ielādē augšupielādēšanas statusu…","localConversationPage.createPullRequestSetUpstream":"Augšupielādē šo atzarojumu pirms PR izveides","localConversationPage.createPullRequestSuccessToast":"Pull pieprasījums ir izveidots","localConversationPage.createPullRequestSwitchBranch":"Pirms PR izveides izvēlieties funkciju atzarojumu","localConversationPage.error.render":"Attēlojot lokālo sarunu, radās kļūda","localConversationPage.error.toast":"Saruna nav atrasta","localConversationPage.forcePushError":"Neizdevās veikt piespiedu augšupielādi","localConversationPage.generatePullRequestMessageError":"Neizdevās ģenerēt pull pieprasījuma virsrakstu un tekstu","localConversationPage.generatePullRequestMessageFailed":"Neizdevās ģenerēt pull pieprasījuma virsrakstu un tekstu.","localConversationPage.gitActionResult.branch":"Atzarojums","localConversationPage.gitActionResult.cancel":"Atcelt","localConversationPage.gitActionResult.close":"Aizvērt","localConversationPage.gitActionResult.tryAgain":"Mēģināt vēlreiz","localConversationPage.gitActions":"Git rīcības","localConversationPage.newChat":"Jauna tērzētava","localConversationPage.openInTarget":"Atvērt…","localConversationPage.openPrimaryTarget":"Atvērts","localConversationPage.planItemsCompleted":"{completedItems} no {totalItems, plural, zero {Pabeigti # uzdevumi} one {Pabeigts # uzdevums} other {Pabeigti # uzdevumi}}","localConversationPage.pushAuthError":"Pašpiegāde neizdevās: nepieciešama autentifikācija","localConversationPage.pushBranchMissing":"Nav pieejama informācija par atzarojumu","localConversationPage.pushButtonLabel":"Pašpiegāde","localConversationPage.pushButtonLabel.loading":"Augšupielādē…","localConversationPage.pushError":"Neizdevās augšupielādēt izmaiņas","localConversationPage.pushModal.branchLabel":"Atzarojums","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Atcelt","localConversationPage.pushModal.confirm":"Pašpiegāde","localConversationPage.pushModal.description":"Augšupielādē savas jaunākās izmaiņas attālajā repozitorijā.","localConversationPage.pushModal.errorTitle":"Augšupielāde neizdevās","localConversationPage.pushModal.forcePush":"Piespiedu augšupielāde","localConversationPage.pushModal.successTitle":"Augšupielāde pabeigta","localConversationPage.pushModal.title":"Augšupielādēt izmaiņas","localConversationPage.pushModal.tryAgain":"Mēģināt vēlreiz","localConversationPage.pushNoUpstream":"Iestati upstream pirms šī atzarojuma augšupielādes","localConversationPage.pushNoUpstreamError":"Pašpiegāde neizdevās: nav konfigurēts upstream","localConversationPage.pushNothingToPush":"Nav jaunu izmaiņu, ko augšupielādēt","localConversationPage.pushRemoteChangedError":"Pašpiegāde neizdevās: remote ir jauni iesūtījumi","localConversationPage.pushRemoteRejectedError":"Remote noraidīja pašpiegādi","localConversationPage.pushStatusMissing":"Ielādē augšupielādēšanas statusu…","localConversationPage.pushSuccessToast":"Ieviestās izmaiņas","localConversationPage.viewPullRequestButtonLabel":"Skatīt PR","localConversationPage.viewPullRequestButtonLabel.loading":"Ielādē pull pieprasījumu…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, zero {# faili} one {# fails} other {# faili}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, zero {# saraksti} one {# saraksts} other {# saraksti}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, zero {# meklējumi} one {# meklējums} other {# meklējumi}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Pārlūko","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Pārlūkoja","localConversationTurn.exploration.accordion.header.complete.withCounts":"Pārlūkoja {counts}","localConversationTurnStory.showContent":"Rādīt saturu","localConversationTurnStory.streamContent":"Straumēt saturu","localConversationTurnStory.toggleReasoning":"Rādīt apsvērumu","localTaskRow.archiveError":"Neizdevās arhivēt sarunu","localTaskRow.resumeError":"Neizdevās atsākt uzdevumu","mermaidDiagram.ariaLabel":"Mermaid diagramma","mermaidDiagram.copySource":"Kopēt mermaid","mermaidDiagram.originalCode":"Mermaid pirmkods","notifications.permissions.description":"Rādīt brīdinājumus, ja ir nepieciešamas atļaujas paziņojumiem","notifications.permissions.label":"Iespējot atļauju paziņojumus","notifications.turnMode.always":"Vienmēr","notifications.turnMode.description":"Nosaki, kad Codex paziņos par uzdevuma pabeigšanu","notifications.turnMode.label":"Iespējot pabeigšanas paziņojumus","notifications.turnMode.off":"Nekad","notifications.turnMode.unfocused":"Tikai tad, ja nav fokusēts","patchApprovalRequest.approve":"Apstiprināt","patchApprovalRequest.menu.allowAlways":"Jā, un šajā sesijā vairs nejautāt","patchApprovalRequest.menu.allowForSession":"Jā, un šajā sesijā vairs nejautāt","patchApprovalRequest.menu.allowOnce":"Jā","patchApprovalRequest.prompt":"Vai vēlies veikt šīs izmaiņas?","patchApprovalRequest.reject":"Nē","patchApprovalRequest.waitingForApproval":"Gaida apstiprinājumu failu rediģēšanai","pendingRequest.approvalExec.collapse":"Sakļaut","pendingRequest.approvalExec.expand":"Izvērst","pendingRequestStory.toastAnswer":"Atbilde: {answer}","pendingRequestStory.toastApprovalTitle":"Apstiprinājuma atbilde","pendingRequestStory.toastFollowupPrompt":"Uzvedne: {prompt}","pendingRequestStory.toastFollowupTitle":"Papildu informācija nosūtīta","pendingRequestStory.toastNoAnswers":"Atbildes nav sniegtas","pendingRequestStory.toastQuestion":"Jautājums: {question}","pendingRequestStory.toastUnknownDecision":"Nezināms","pendingRequestStory.toastUserInputTitle":"Iesniegtās atbildes","quickAction.request.codeReview.branches.new":"Salīdzini {from} veiktās izmaiņas ar {to}","quickAction.request.codeReview.uncommitted.new":"Lūdzu, pārskati manas neapstiprinātās izmaiņas","reasoningItem.thinking":"Domā","reasoningItem.thought":"Domāja","reasoningItem.thoughtWithElapsed":"Domāja {elapsed}","recentConversations.title":"Nesenās sarunas","recentTasks.worktreeInitFailedTitle":"Neizdevās inicializēt worktree","recentTasks.worktreeSettingUpTitle":"Tiek veikta worktree iestatīšana","requestInputPanel.continue":"Turpināt","requestInputPanel.dismiss":"Nerādīt","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Raksti šeit","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nē, un norādīt Codex, ko darīt citādi","requestInputPanel.selectedBadge":"Atlasīts","requestInputPanel.skip":"Izlaist","requestInputPanel.submit":"Iesniegt","review.commit.ariaLabel.includeUnstaged":"Iekļaut nesagatavotas","review.commit.buttonLabel":"Iesūtījums","review.commit.disabled.committing":"Iesniedz…","review.commit.disabled.loadingDiff":"Ielādē atšķirības…","review.commit.disabled.missingContext":"Pievieno kontekstu, lai ģenerētu iesūtījuma ziņojumu","review.commit.disabled.noChanges":"Nav izmaiņu, ko iesūtīt","review.commit.disabled.noSelection":"Izvēlies izmaiņas, ko iesūtīt","review.commit.disabled.unavailable":"Iesūtīšana pašlaik nav pieejama","review.commit.error":"Neizdevās iesūtīt izmaiņas","review.commit.form.changesToBeCommitted":"Izmaiņas","review.commit.form.commitTo":"Atzarojums","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Turpināt","review.commit.form.title":"Iesniedz savas izmaiņas","review.commit.generate.emptyResponse":"Neizdevās ģenerēt iesūtījuma ziņojumu.","review.commit.generate.failed":"Neizdevās ģenerēt iesūtījuma ziņojumu: {error}","review.commit.generate.missingPrompt":"Pievieno kontekstu, lai ģenerētu iesūtījuma ziņojumu.","review.commit.includeUnstaged":"Iekļaut nesagatavotas","review.commit.loading.description":"Tas var aizņemt kādu laiku…","review.commit.loading.step.commit.done":"Neapstiprinātās izmaiņas","review.commit.loading.step.commit.pending":"Piemēro izmaiņas","review.commit.loading.step.createPr.done":"Pull pieprasījums izveidots","review.commit.loading.step.createPr.pending":"Izveido pull pieprasījumu…","review.commit.loading.step.push.done":"Iesūtīts atzarojumā {branch}","review.commit.loading.step.push.pending":"Iesūta atzarojumā {branch}","review.commit.loading.title.commit":"Piemēro izmaiņas","review.commit.loading.title.createPr":"Izveido PR","review.commit.loading.title.push":"Iesūta izmaiņas","review.commit.messageLabel":"Iesūtījuma ziņojums","review.commit.messagePlaceholder":"Atstāj lauku tukšu, lai automātiski ģenerētu iesūtījuma ziņojumu","review.commit.nextSteps":"Turpmākie soļi","review.commit.nextSteps.commit":"Iesūtījums","review.commit.nextSteps.commitAndCreate":"Iesniegt un izveidot PR","review.commit.nextSteps.commitAndPush":"Iesniegt un iesūtīt","review.commit.nextSteps.prRequiresGh":"Nepieciešama GitHub CLI: {command}","review.commit.rows.changes":"Izmaiņas","review.commit.rows.commitCount":"{count, plural, zero {# iesūtījumi} one {# iesūtījums} other {# iesūtījumi}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, zero {# iesūtījumi} one {# iesūtījums} other {# iesūtījumi}} un {stats}","review.commit.rows.fileCount":"{count, plural, zero {# faili} one {# fails} other {# faili}}","review.commit.state.error.body":"Iesūtījuma iesniegšanas laikā radās kļūda. Pārbaudi savu git statusu un mēģini vēlreiz.","review.commit.state.error.title":"Iesūtījums neizdevās","review.commit.state.success.title":"Izmaiņas ir iesniegtas","review.commit.untracked.loadingStats":"Ielādē neizsekoto atšķirību statistiku…","reviewFindingAttachments.count":"{count, plural, zero {# rezultāti} one {# rezultāts} other {# rezultāti}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Rediģē konfigurāciju, lai pielāgotu aģenta darbību","settings.agent.configuration.configToml.docs":"Dokumentācija","settings.agent.configuration.configToml.restartNote":"Pēc rediģēšanas restartē Codex, lai piemērotu izmaiņas","settings.agent.configuration.subtitle":"Šie iestatījumi attiecas uz visām vietām, kur tiek izmantots Codex","settings.automations.banner.danger":"Automatizācijas izmanto tavus izolācijas vides noklusējuma iestatījumus, kas pašlaik atļauj pilnīgu piekļuvi. Automatizāciju izpilde fonā ar pilnīgu piekļuvi rada paaugstinātu risku, jo Codex var mainīt failus, izpildīt komandas un piekļūt tīklam bez atļaujas. Apsver iespēju mainīt izolācijas vides iestatījumus, lai atļautu rakstīšanu darba kopijā, un izmantot <rulesDocsLink>noteikumus</rulesDocsLink>, lai selektīvi noteiktu, kuras komandas aģents var izpildīt ar pilnīgu piekļuvi.","settings.automations.banner.defaultHowTo.default":"Automatizācijas izmanto tavus izolācijas vides noklusējuma iestatījumus. Rīku saucieni neizdosies, ja tiem būs nepieciešams modificēt failus ārpus darba kopijas, piekļūt tīklam vai strādāt ar datorā instalētām lietotnēm. Iespējams selektīvi atļaut komandām darboties ārpus izolācijas vides, izmantojot <rulesDocsLink>noteikumus</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizācijas izmanto tavus izolācijas vides noklusējuma iestatījumus, kas pašlaik atļauj tikai lasīšanu. Rīku saucieni neizdosies, ja tiem būs nepieciešams mainīt failus, piekļūt tīklam vai strādāt ar datorā instalētām lietotnēm. Apsver iespēju mainīt izolācijas vides iestatījumus, lai atļautu rakstīšanu darba kopijā.","settings.automations.cancel":"Atcelt","settings.automations.create":"Izveidot","settings.automations.cwdEmpty":"Nav pieejamas projekta mapes","settings.automations.cwdLabel":"Projekti","settings.automations.cwdPlaceholder":"Atlasīt mapi","settings.automations.cwdSubtitle":"Ja vēlies, lai automatizācija tiktu izpildīta konkrētā atzarojumā, to vari norādīt uzvednē.","settings.automations.delete":"Dzēst","settings.automations.dialog.editTitle":"Rediģēt automatizāciju","settings.automations.dialog.newTitle":"Jauna automatizācija","settings.automations.dialog.subtitle":"Automatizē atkārtoti veicamus uzdevumus fonā. Codex atklājumus ievieto iesūtnē vai automātiski arhivē uzdevumu, ja nav ko ziņot. <learnMoreLink>Uzzināt vairāk</learnMoreLink>","settings.automations.dialog.title":"Izveidot automatizāciju","settings.automations.executionCopy.git":"Automatizācijas darbojas fonā īpašos worktree.","settings.automations.executionCopy.nonGit":"Automatizācijas projektos bez versiju kontroles darbojas tieši projekta direktorijā. Apsver iespēju izmantot Git, lai ļautu darboties fona worktree.","settings.automations.executionEnvironment.local":"Lokāli","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Ielādē…","settings.automations.nameLabel":"Vārds / nosaukums","settings.automations.namePlaceholder":"Pārbaudīt sentry problēmas","settings.automations.pause":"Pauze","settings.automations.promptLabel":"Uzvedne","settings.automations.promptPlaceholder":"meklē kļūdas $Sentry","settings.automations.resume":"Atsākt","settings.automations.rruleSummaryFallback":"Pielāgots grafiks","settings.automations.runNow":"Testēt","settings.automations.save":"Saglabāt","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count} st.","settings.automations.scheduleBadge.weekdays":"Darba dienās","settings.automations.scheduleBadge.weekends":"Nedēļas nogalēs","settings.automations.scheduleHeader":"Grafiks","settings.automations.scheduleHours":"stundas","settings.automations.scheduleLabel":"Izpildīt ik pēc","settings.automations.scheduleMode.daily":"Katru dienu","settings.automations.scheduleMode.interval":"Intervāls","settings.automations.scheduleModeLabel":"Grafika veids","settings.automations.scheduleSummary.daily":"Katru dienu {time}","settings.automations.scheduleSummary.interval":"Ik pēc {count} st.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, zero {# dienām} one {# dienu} other {# dienām}}","settings.automations.scheduleSummary.intervalDays":"{interval} {days}","settings.automations.scheduleSummary.intervalHourly":"Katru stundu","settings.automations.scheduleSummary.singleDay":"{day} {time}","settings.automations.scheduleSummary.weekdays":"Darba dienās plkst. {time}","settings.automations.scheduleSummary.weekdaysLabel":"darba dienās","settings.automations.scheduleSummary.weekends":"Nedēļas nogalēs plkst. {time}","settings.automations.scheduleSummary.weekendsLabel":"nedēļas nogalēs","settings.automations.scheduleSummary.weekly":"{days} {time}","settings.automations.scheduleWeekdays":"Ieslēgta","settings.automations.weekdayState.excluded":"Izslēgts","settings.automations.weekdayState.included":"Iekļauts","settings.conversationDetail.steps":"Soļi","settings.conversationDetail.steps.description":"Paslēpt komandas un izvadi","settings.conversationDetail.stepsWithCommands":"Soļi ar koda komandām","settings.conversationDetail.stepsWithCommands.description":"Rādīt komandas, sakļaut izvadi","settings.conversationDetail.stepsWithOutput":"Soļi ar koda izvadi","settings.conversationDetail.stepsWithOutput.description":"Rādīt komandas un izvērst izvadi","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nav arhivētu tērzētavu.","settings.dataControls.archivedChats.error":"Neizdevās ielādēt arhivētās tērzētavas.","settings.dataControls.archivedChats.loading":"Ielādē arhivētās tērzētavas…","settings.dataControls.archivedChats.unarchive":"Atarhivēt","settings.dataControls.archivedChats.unarchiveError":"Neizdevās atarhivēt tērzētavu","settings.dataControls.archivedChats.unarchiveSuccess":"Pavediens atarhivēts. <viewNowLink>Skatīt tagad</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Nearhivēts pavediens.","settings.dataControls.archivedChats.untitled":"Tērzētava bez nosaukuma","settings.dataControls.archivedChats.viewNow":"Skatīt tagad","settings.editRow.headerPlaceholder":"Atslēga","settings.editRow.removeEntry":"Noņemt ierakstu","settings.editRow.valuePlaceholder":"Vērtība","settings.general.appearance":"Izskats","settings.general.appearance.codeFont":"Koda fonts","settings.general.appearance.codeFont.description":"Pielāgo fontu un izmēru, ar ko kods tiek attēlots tērzētavās un atšķirību skatā","settings.general.appearance.codeFontFamily":"Koda fontu saime","settings.general.appearance.codeFontSize":"Koda fontu izmērs","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Likt logiem izmantot vienkrāsainu fonu, nevis sistēmas caurspīdīgumu","settings.general.appearance.opaqueWindows.label":"Izmantot necaurspīdīgu logu fonu","settings.general.appearance.sansFontFamily":"Sans fontu saime","settings.general.appearance.sansFontFamily.description":"Pielāgo Codex saskarnē izmantoto fontu","settings.general.appearance.sansFontSize":"Sans fonta izmērs","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Rādīt pilna loga svinību efektus, kamēr GPT-5.3-Codex-Spark darbojas pirmajā kārtā","settings.general.appearance.sparkCelebrationEffects.label":"Spark svinību efekti","settings.general.appearance.theme":"Tēma","settings.general.appearance.theme.dark":"Tumšais","settings.general.appearance.theme.description":"Izmanto gaišo vai tumšo motīvu vai izmanto sistēmas iestatījumu","settings.general.appearance.theme.light":"Gaišais","settings.general.appearance.theme.system":"Sistēma","settings.general.appearance.usePointerCursors.description":"Mainīt kursoru uz rādītāju, kad novieto kursoru uz interaktīviem elementiem","settings.general.appearance.usePointerCursors.label":"Izmantot rādītāju kursorus","settings.general.enterBehavior.description":"Kad šī funkcija ir ieslēgta, daudzrindu uzvednes ir jānosūta ar {modifierSymbol} + Enter.","settings.general.enterBehavior.label":"Garas uzvednes jānosūta ar {modifierSymbol} + Enter","settings.general.experimentalFeatures":"Eksperimentālās funkcijas (beta versija)","settings.general.experimentalFeatures.empty":"Beta eksperimentālās funkcijas nav pieejamas.","settings.general.experimentalFeatures.loading":"Notiek eksperimentālo funkciju ielāde…","settings.general.experimentalFeatures.restartNote":"Restartē Codex, lai lietotu eksperimentālās funkciju izmaiņas","settings.general.experimentalFeatures.toggle":"Pārslēgt {featureName}","settings.general.followUpQueueMode.description":"Ievieto papildjautājumus rindā, kamēr Codex darbojas, vai novirzi pašreizējo izpildi. Nospied {invertFollowUpShortcutLabel}, lai veiktu pretējo darbību vienam ziņojumam.","settings.general.followUpQueueMode.interrupt":"Vadīt","settings.general.followUpQueueMode.label":"Papildjautājumu izpilde","settings.general.followUpQueueMode.queue":"Ievietot rindā","settings.general.notifications":"Paziņojumi","settings.general.power.preventSleepWhileRunning.description":"Neļauj datoram pāriet miega režīmā, kamēr Codex izpilda pavedienu.","settings.general.power.preventSleepWhileRunning.label":"Neļauj datoram pāriet miega režīmā","settings.git.branchPrefix.ariaLabel":"Atzarojuma prefikss","settings.git.branchPrefix.description":"Prefikss, ko izmanto, veidojot jaunus atzarojumus Codex","settings.git.branchPrefix.label":"Atzarojuma prefikss","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Neizdevās saglabāt atzarojuma prefiksu","settings.git.branchPrefix.save.success":"Saglabāts atzarojuma prefikss","settings.git.commitInstructions.ariaLabel":"Iesūtījuma norādes","settings.git.commitInstructions.description":"Pievienots iesūtījuma ziņojuma ģenerēšanas uzvednēm","settings.git.commitInstructions.label":"Iesūtījuma norādes","settings.git.commitInstructions.placeholder":"Pievienot iesūtījuma ziņojuma norādes…","settings.git.commitInstructions.save":"Saglabāt","settings.git.commitInstructions.save.error":"Neizdevās saglabāt iesūtījuma norādes","settings.git.commitInstructions.save.success":"Iesūtījuma norādes saglabātas","settings.git.forcePush.ariaLabel":"Vienmēr veikt piespiedu augšupielādi","settings.git.forcePush.description":"Izmanto --force-with-lease, veicot augšupielādi no Codex","settings.git.forcePush.label":"Vienmēr veikt piespiedu augšupielādi","settings.git.forcePush.save.disabled":"Piespiedu augšupielāde atspējota","settings.git.forcePush.save.enabled":"Piespiedu augšupielāde iespējota","settings.git.forcePush.save.error":"Neizdevās saglabāt piespiedu augšupielādes iestatījumu","settings.git.prInstructions.ariaLabel":"Pull pieprasījuma norādes","settings.git.prInstructions.description":"Pievienots Codex izveidotajiem pull pieprasījumu tekstiem","settings.git.prInstructions.label":"Pull pieprasījuma norādes","settings.git.prInstructions.placeholder":"Pievienot pull pieprasījuma norādes…","settings.git.prInstructions.save":"Saglabāt","settings.git.prInstructions.save.error":"Neizdevās saglabāt pull pieprasījuma norādes","settings.git.prInstructions.save.success":"Pull pieprasījuma norādes saglabātas","settings.ide.defaultOpenTarget.description":"Kur faili un mapes tiek atvērtas pēc noklusējuma","settings.ide.defaultOpenTarget.label":"Noklusējuma atvēršanas vieta","settings.ide.defaultOpenTarget.placeholder":"Mērķi nav atrasti","settings.ide.language.auto":"Automātiski noteikt","settings.ide.language.autoOption":"Automātiski noteikt","settings.ide.language.description":"Lietotnes lietotāja saskarnes valoda","settings.ide.language.label":"Valoda","settings.ide.language.search":"Meklēt valodas","settings.layout.actionButton":"Pārstartēt paplašinājumu","settings.layout.actionTitle":"Iestatījumi ar rīcību","settings.layout.fullWidthTitle":"Iestatījumi (pilna platuma)","settings.layout.title":"Iestatījumi","settings.localEnvironments.actions.add":"Pievieno rīcību","settings.localEnvironments.actions.add.description":"Izveido jaunu komandu, ko palaist no rīkjoslas.","settings.localEnvironments.actions.add.save":"Saglabāt","settings.localEnvironments.actions.empty":"Pievieno rīcību, lai izpildītu komandas no lokālās rīkjoslas.","settings.localEnvironments.actions.icon.debug":"Atkļūdošana","settings.localEnvironments.actions.icon.run":"Izpildīt","settings.localEnvironments.actions.icon.test":"Testēt","settings.localEnvironments.actions.icon.tool":"Rīks","settings.localEnvironments.actions.item.button.delete":"Dzēst","settings.localEnvironments.actions.item.command":"Rīcības skripts","settings.localEnvironments.actions.item.name":"Vārds / nosaukums","settings.localEnvironments.actions.item.platforms":"Platformas","settings.localEnvironments.actions.item.platforms.help":"Izpildīt tikai konkrētā operētājsistēmā.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Platformas izvēle","settings.localEnvironments.actions.item.platforms.specific":"Konkrēta platforma","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Dzēst","settings.localEnvironments.actions.title":"Rīcības","settings.localEnvironments.breadcrumb.back":"Atpakaļ","settings.localEnvironments.breadcrumb.edit":"rediģēt","settings.localEnvironments.breadcrumb.root":"Vides","settings.localEnvironments.environment.actions.description":"Šīs rīcības var izpildīt jebkuru komandu un tiks parādītas galvenē.","settings.localEnvironments.environment.actionsLabel":"Rīcības","settings.localEnvironments.environment.create":"Izveidot lokālo vidi","settings.localEnvironments.environment.defaultName":"lokāli","settings.localEnvironments.environment.edit":"Rediģēt lokālo vidi","settings.localEnvironments.environment.empty":"Šim projektam vēl nav konfigurēta lokālā vide.","settings.localEnvironments.environment.name":"Vārds / nosaukums","settings.localEnvironments.environment.setup":"Iestatīšanas skripts","settings.localEnvironments.environment.setup.description":"Šis skripts tiks izpildīts worktree izveides laikā.","settings.localEnvironments.environment.setup.hint":"Tiek izpildīts projekta saknē.","settings.localEnvironments.environment.setup.platformOverrides":"Platformas pārrakstīšana","settings.localEnvironments.environment.setup.platformOverrides.add":"Pievienot {platform} iestatīšanas skriptu","settings.localEnvironments.environment.setup.platformOverrides.description":"Pārraksta noklusējuma skriptu konkrētām operētājsistēmām.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Dzēst","settings.localEnvironments.environment.setup.script":"Skripts","settings.localEnvironments.environment.title":"Informācija par vidi","settings.localEnvironments.file.missing":"Saglabā failu, lai to izveidotu pirmo reizi.","settings.localEnvironments.file.parseError":"Neizdevās analizēt esošo failu. Saglabājot, tas tiks pārrakstīts. ({error})","settings.localEnvironments.file.path":"Fails: {path}","settings.localEnvironments.file.readError":"Neizdevās ielādēt lokālās vides datus. ({error})","settings.localEnvironments.file.title":"Lokālās vides fails","settings.localEnvironments.loading.body":"Ielādē projekta konfigurāciju.","settings.localEnvironments.loading.title":"Ielādē lokālās vides","settings.localEnvironments.preview.devOnly":"(Tikai izstrādātājiem)","settings.localEnvironments.preview.save":"Saglabāt","settings.localEnvironments.preview.saveError":"Neizdevās saglabāt failu. ({error})","settings.localEnvironments.preview.title":"Priekšskatījums","settings.localEnvironments.save.disabled.name":"Pievieno vides nosaukumu, lai to saglabātu.","settings.localEnvironments.save.disabled.noChanges":"Nav izmaiņu, ko saglabāt.","settings.localEnvironments.save.disabled.saving":"Saglabā…","settings.localEnvironments.save.success":"Saglabāta lokālā vide","settings.localEnvironments.unavailable.body":"Neizdevās ielādēt lokālās vides iestatījumus šim projektam.","settings.localEnvironments.unavailable.title":"Lokālās vides nav pieejamas","settings.localEnvironments.workspace.add":"Pievienot projektu","settings.localEnvironments.workspace.title":"Projekts","settings.localEnvironments.workspaceSelect.addLabel":"Pievienot vidi","settings.localEnvironments.workspaceSelect.description":"Lokālās vides norāda Codex, kā projektam iestatīt worktree. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Vēl nav projektu. Pievieno projektu, lai konfigurētu lokālās vides.","settings.localEnvironments.workspaceSelect.errorLabel":"Videi jāpievērš uzmanība","settings.localEnvironments.workspaceSelect.learnMore":"Uzzini vairāk","settings.localEnvironments.workspaceSelect.listLabel":"Pieejamie projekti","settings.localEnvironments.workspaceSelect.loading":"Tiek ielādēti projekti.","settings.localEnvironments.workspaceSelect.loadingLabel":"Ielādē vidi","settings.localEnvironments.workspaceSelect.title":"Izvēlies projektu","settings.localEnvironments.workspaceSelect.viewAction":"Skatīt","settings.mcp.addServer":"Pievienot serveri","settings.mcp.app.configure":"Konfigurēšana","settings.mcp.app.connect":"Savienot","settings.mcp.apps.refresh":"Atsvaidzināt","settings.mcp.detail.addArgument":"Pievienot argumentu","settings.mcp.detail.addEnvVar":"Pievienot vides mainīgo","settings.mcp.detail.addEnvVarPassthrough":"Pievienot mainīgo","settings.mcp.detail.args":"Argumenti","settings.mcp.detail.back":"Atpakaļ","settings.mcp.detail.command":"Komanda palaišanai","settings.mcp.detail.cwd":"Darba direktorijs","settings.mcp.detail.docs":"Atvērt MCP dokumentāciju","settings.mcp.detail.docs.link":"Dokumentācija","settings.mcp.detail.envVarPassthrough":"Vides mainīgā pārnese","settings.mcp.detail.envVars":"Vides mainīgie","settings.mcp.detail.http.addEnvHeader":"Pievienot mainīgo","settings.mcp.detail.http.addHeader":"Pievienot galveni","settings.mcp.detail.http.bearerToken":"Nesēja tekstvienības vides mainīgais","settings.mcp.detail.http.envHeaders":"Galvenes no vides mainīgajiem","settings.mcp.detail.http.headers":"Galvenes","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Vārds / nosaukums","settings.mcp.detail.save":"Saglabāt","settings.mcp.detail.switchTransportNotice":"Ja vēlaties mainīt MCP servera tipu, vispirms veic atinstalēšanu.","settings.mcp.detail.titleExisting":"Atjaunināt {name} MCP","settings.mcp.detail.titleNew":"Savienoties ar pielāgotu MCP","settings.mcp.detail.transport.http":"Straumējams HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Atinstalēt","settings.mcp.empty":"Nav pievienoti pielāgoti MCP serveri","settings.mcp.myServers":"Pielāgoti serveri","settings.mcp.partnerServer.description.figma":"Ģenerē labāku kodu, iekļaujot pilnu Figma kontekstu","settings.mcp.partnerServer.description.github":"Integrē GitHub API, lai automatizētu darbplūsmas un iegūtu datus","settings.mcp.partnerServer.description.linear":"Integrē Linear jautājumu izsekošanu un projektu vadību","settings.mcp.partnerServer.description.notion":"Lasi dokumentus, atjaunini lapas, pārvaldi uzdevumus","settings.mcp.partnerServer.description.playwright":"Integrē pārlūka automatizāciju, lai īstenotu dizainu un testētu lietotāja saskarni.","settings.mcp.partnerServer.install":"Instalēt","settings.mcp.partnerServer.installAndAuthenticate":"Instalēt un autentificēt","settings.mcp.partnerServer.logoAlt":"{label} logotips","settings.mcp.partnerServer.manage":"Pārvaldīt","settings.mcp.partnerServer.vendor":"Autors: {vendor}","settings.mcp.recommendedServers":"Ieteicamie serveri","settings.mcp.restartApp":"Restartēt","settings.mcp.restartExtension":"Pārstartēt paplašinājumu","settings.mcp.server.enable":"Iespējot","settings.mcp.server.login":"Pieteikšanās","settings.mcp.server.settings":"Iestatījumi","settings.multiselect.createOption":"Izveidot “{value}”","settings.multiselect.removeOption":"Dzēst","settings.nav.account":"Konts","settings.nav.agent":"Konfigurācija","settings.nav.ariaLabel":"Iestatījumi","settings.nav.back":"Atpakaļ uz lietotni","settings.nav.data-controls":"Arhivētie pavedieni","settings.nav.environments":"Mākoņvides","settings.nav.externalTooltip":"[alpha] Atveras pārlūkprogrammā","settings.nav.general-settings":"Vispārīgi","settings.nav.git-settings":"Git","settings.nav.local-environments":"Vides","settings.nav.mcp-settings":"MCP serveri","settings.nav.notImplemented":"[alpha] Nav pieejams Alpha versijā","settings.nav.personalization":"Personalizācija","settings.nav.skills-settings":"Prasmes","settings.nav.usage-analytics":"Lietojums un analītika","settings.nav.worktrees":"Worktree","settings.openSourceLicenses.back":"Atpakaļ","settings.openSourceLicenses.loading":"Ielādē…","settings.openSourceLicenses.missing":"Trešo pušu paziņojumi netika atrasti.","settings.openSourceLicenses.notSupported":"Nav pieejams šajā resursdatorā.","settings.openSourceLicenses.rowDescription":"Trešo pušu paziņojumi par komplektā iekļautajām atkarībām","settings.openSourceLicenses.rowLabel":"Atklātā pirmkoda licences","settings.openSourceLicenses.subtitle":"Trešo pušu paziņojumi par šajā lietotnē iekļautajām atkarībām","settings.openSourceLicenses.title":"Atklātā pirmkoda licences","settings.openSourceLicenses.view":"Skatīt","settings.personalization.agents.description":"Rediģē norādes, kas pielāgo Codex tavām vajadzībām. {learnMore}","settings.personalization.agents.learnMore":"Uzzini vairāk","settings.personalization.agents.loadError":"Neizdevās ielādēt agents.md.","settings.personalization.agents.loading":"Ielādē agents.md…","settings.personalization.agents.placeholder":"Pievienot pielāgotas norādes…","settings.personalization.agents.retry":"Mēģināt vēlreiz","settings.personalization.agents.save":"Saglabāt","settings.personalization.agents.save.error":"Neizdevās saglabāt agents.md","settings.personalization.agents.save.success":"agents.md ir saglabāts","settings.personalization.agents.title":"Pielāgotas norādes","settings.personalization.personality.description":"Izvēlies noklusējuma tonalitāti Codex atbildēm","settings.personalization.personality.label":"Personība","settings.sample.contentBody":"Izmanto šo izkārtojumu, lai sakārtotu iestatījumu paneļus ar vienādu atstarpi.","settings.sample.contentTitle":"Parauga satura bloks","settings.section.account":"Konts","settings.section.agent":"Konfigurācija","settings.section.data-controls":"Arhivētie pavedieni","settings.section.environments":"Mākoņvides","settings.section.external":"Atveras pārlūkprogrammā Alpha versijā","settings.section.general-settings":"Vispārīgi","settings.section.git-settings":"Git","settings.section.local-environments":"Vides","settings.section.mcp-settings":"MCP serveri","settings.section.mcp-settings.docs":"Dokumentācija","settings.section.mcp-settings.subtitle":"Pievieno ārējos rīkus un datu avotus.","settings.section.personalization":"Personalizācija","settings.section.skills-settings":"Prasmes","settings.section.unavailable":"Vēl nav pieejams Alpha versijā","settings.section.usage-analytics":"Lietojums un analītika","settings.section.worktrees":"Worktree","settings.threadDetail.description":"Nosaki, cik daudz komandu izvades rādīt pavedienos","settings.threadDetail.label":"Informācija par pavedienu","settings.worktrees.conversation.untitled":"Saruna bez nosaukuma","settings.worktrees.delete.error":"Neizdevās dzēst worktree","settings.worktrees.empty.body":"Šeit tiks parādīti Codex izveidotie worktree.","settings.worktrees.empty.title":"Nav worktree","settings.worktrees.error.body":"Ielādējot worktree, radās kļūda.","settings.worktrees.error.retry":"Mēģināt vēlreiz","settings.worktrees.error.title":"Neizdevās ielādēt worktree","settings.worktrees.loading.body":"Ielādē worktree informāciju","settings.worktrees.loading.title":"Ielādē worktree","settings.worktrees.repository.loading":"Ielādē repozitorija metadatus…","settings.worktrees.repository.unknown":"Nezināms repozitorijs","settings.worktrees.row.conversations":"Sarunas","settings.worktrees.row.conversations.empty":"Šim worktree nav saistītu sarunu.","settings.worktrees.row.conversations.loading":"Ielādē sarunas…","settings.worktrees.row.delete":"Dzēst","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Pievienot jaunu projektu","sidebarElectron.archiveThread":"Arhivēt pavedienu","sidebarElectron.archiveThreadError":"Neizdevās arhivēt pavedienu","sidebarElectron.collapseFolder":"Sakļaut mapi","sidebarElectron.createStableWorktree.dialog.cancel":"Atcelt","sidebarElectron.createStableWorktree.dialog.create":"Izveidot","sidebarElectron.debugNavLink":"Atkļūdošana","sidebarElectron.editWorkspaceRootOptionName":"Rediģēt nosaukumu","sidebarElectron.expandFolder":"Izvērst mapi","sidebarElectron.groupByMenu.recency":"Hronoloģisks saraksts","sidebarElectron.groupByMenu.title":"Organizēt","sidebarElectron.groupByMenu.workspace":"Pēc projekta","sidebarElectron.inboxRouteNavLink":"Automatizācija","sidebarElectron.markThreadUnread":"Atzīmēt kā nelasītu","sidebarElectron.missingWorkspaceRoot":"Šī projekta mape ir dzēsta vai pārvietota","sidebarElectron.newThread":"Jauns pavediens","sidebarElectron.newThreadInGroup":"Sākt jaunu pavedienu {folder}","sidebarElectron.noRecentThreads":"Nav nesenu pavedienu","sidebarElectron.noTasks":"Nav pavedienu","sidebarElectron.noTasks.start":"Pievienot jaunu projektu","sidebarElectron.noTasksWithFilter":"Neviens pavediens neatbilst filtriem","sidebarElectron.pinnedThreads":"Piespraustie pavedieni","sidebarElectron.recentNavLink":"Pavedieni","sidebarElectron.recentThreads":"Nesenie pavedieni","sidebarElectron.removeWorkspaceRootOption":"Dzēst","sidebarElectron.renameThread":"Pārdēvēt pavedienu","sidebarElectron.renameThreadDialogAriaLabel":"Pavediena nosaukums","sidebarElectron.renameThreadDialogCancel":"Atcelt","sidebarElectron.renameThreadDialogPlaceholder":"Pievienot nosaukumu…","sidebarElectron.renameThreadDialogSave":"Saglabāt","sidebarElectron.renameThreadDialogSubtitle":"Nosaukumam jābūt īsam un atpazīstamam.","sidebarElectron.renameThreadDialogTitle":"Pārdēvēt pavedienu","sidebarElectron.renameThreadError":"Neizdevās pārdēvēt pavedienu","sidebarElectron.renameWorkspaceRootOptionLabel":"Displeja nosaukums","sidebarElectron.showLess":"Parādīt mazāk","sidebarElectron.showMenu.all":"Visi pavedieni","sidebarElectron.showMenu.relevant":"Būtisks","sidebarElectron.showMenu.relevantHint":"Rādīt tikai pēdējās tēmas pašreizējam atzarojumam, worktree vai citām tēmām, kas prasa tavu uzmanību","sidebarElectron.showMenu.title":"Rādīt","sidebarElectron.showMenu.tooltip":"Filtrēt, kārtot un organizēt pavedienus","sidebarElectron.showMenu.trigger":"Filtrēt sānu joslas tēmas","sidebarElectron.showMore":"Parādīt vairāk","sidebarElectron.skillsRouteNavLink":"Prasmes","sidebarElectron.sortMenu.created":"Izveidots","sidebarElectron.sortMenu.title":"Kārtot pēc","sidebarElectron.sortMenu.updated":"Atjaunināts","sidebarElectron.taskNavigation":"Automatizāciju mapes","sidebarElectron.tasksInFolder":"Automatizācijas {folder}","sidebarElectron.workspaceOptions":"Projekta rīcības {folder}","sidebarElectron.worktreeGroupTooltip":"Šis ir git worktree","skills.appsPage.createSkill":"Jauna prasme","skills.appsPage.empty.skills":"Nav prasmju","skills.appsPage.search.skills":"Meklēt prasmes","skills.appsPage.search.skills.label":"Meklēt prasmes","skills.appsPage.section.installedApps":"Instalēts","skills.appsPage.section.skills":"Prasmes","skills.appsPage.subheading":"Piešķir Codex superspējas. <link>Uzzini vairāk</link>","skills.appsPage.tab.recommended":"Ieteicams","skills.appsPage.tab.skills":"Prasmes","skills.card.contentsError":"Neizdevās ielādēt prasmju saturu.","skills.card.disable":"Atspējot","skills.card.disableSuccess":"{skillName} prasme atspējota","skills.card.disabledBadge":"Atspējots","skills.card.enable":"Iespējot","skills.card.enableSuccess":"{skillName} prasme iespējota","skills.card.loadingContents":"Ielādē prasmju saturu...","skills.card.more":"Vairāk rīcību","skills.card.open":"Atvērts","skills.card.removeFailed":"Neizdevās atinstalēt prasmi","skills.card.removeSuccess":"{skillName} prasme atinstalēta","skills.card.toggleEnabledError":"Neizdevās atjaunināt prasmi","skills.card.try":"Izmēģināt","skills.card.trySkill":"Izmēģināt prasmi","skills.card.uninstall":"Atinstalēt","skills.hero.dotLabel":"Pāriet uz slaidu {index}","skills.hero.next":"Nākamā ievērojamā prasme","skills.hero.trySkill":"Izmēģināt prasmi","skills.page.createSkill":"Jauna prasme","skills.page.empty":"Nav prasmju","skills.page.filteredEmpty":"Neviena prasme neatbilst filtriem","skills.page.filteredEmptyDescription":"Mēģināt pielāgot meklēšanas vai tvēruma filtrus","skills.page.heading":"Prasmes","skills.page.loading":"Ielādē prasmes...","skills.page.refreshSkills":"Atsvaidzināt","skills.page.refreshSkillsToUseNew":"Atsvaidzini, lai izmantotu jaunas prasmes","skills.page.search":"Meklēt prasmes","skills.page.search.label":"Meklēt prasmes","skills.page.subheading":"Piešķir Codex superspējas. <link>Uzzini vairāk</link>","skills.preview.copyPrompt":"Kopēt uzvedni","skills.preview.examplePrompt":"Uzvednes piemērs","skills.recommended.error":"Neizdevās ielādēt ieteicamās prasmes","skills.recommended.install":"Instalēt","skills.recommended.installSkill":"Instalēt prasmi","skills.recommended.installSuccess":"{skillName} prasme instalēta","skills.recommended.installed":"Instalēts","skills.scope.admin":"Administrators","skills.scope.adminInstalled":"Administratora instalēts","skills.scope.builtIn":"Sistēma","skills.scope.personal":"Personīgais","skills.scope.repo":"Repozitorijs","skills.scope.system":"Sistēma","skills.scope.team":"Komanda","skills.scope.user":"Lietotājs","skills.section.installed":"Instalēts","skills.section.recommended":"Ieteicams","story.slidingToggle.existing":"Esošs","story.slidingToggle.fromLocal":"No lokālā","story.slidingToggle.new":"Jauns","story.slidingToggle.toLocal":"Uz lokālo","terminal.close":"Aizvērt termināli","terminal.title":"Terminālis","thinkingShimmer.default":"Domā","threadEnvIcon.cloudTooltip":"Šī saruna notiek Codex Cloud.","threadEnvIcon.localTooltip":"Šī saruna notiek lokāli.","threadEnvIcon.worktreeTooltip":"Šī saruna notiek lokalā git darba kopijā.","threadHeader.archiveConfirmCancel":"Atcelt","threadHeader.archiveConfirmConfirm":"Arhivēt","threadHeader.archiveConfirmSubtitle":"To vēlāk vari atrast arhivētajos pavedienos.","threadHeader.archiveConfirmTitle":"Arhivēt pavedienu?","threadHeader.copyAppLink":"Kopēt deeplink","threadHeader.copySessionId":"Kopēt sesijas ID","threadHeader.copyWorkingDirectory":"Kopēt darba direktoriju","threadHeader.forkIntoLocal":"Sazarot lokāli","threadHeader.forkIntoWorktree":"Sazarot jaunā worktree","threadHeader.forkPendingWorktreePrompt":"Sazarot šo sarunu jaunā worktree.","threadHeader.forkPendingWorktreeTitle":"Sazarota saruna","threadHeader.forkThreadError":"Neizdevās sazarot pavedienu","threadHeader.forkThreadRequiresGitRepo":"Sazarošanai jaunā worktree nepieciešams git repozitorijs","threadHeader.moreActions":"Pavediena rīcības","threadPage.newThread":"Jauns pavediens","threadPage.runAction.changeEnvironment":"Mainīt vidi","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} rīcības","threadPage.runAction.environmentSelector.label":"Izvēlēties vidi","threadPage.runAction.label":"Izpildīt","threadPage.runAction.missing.label":"Iestatīt izpildes rīcību","threadPage.runAction.setup.commandLabel":"Komanda izpildei","threadPage.runAction.setup.description":"Norādi Codex, kā instalēt atkarības un palaist lietotni.","threadPage.runAction.setup.editMore":"Vides iestatījumi","threadPage.runAction.setup.placeholder":"piemēram: npm instalēt npm izpildīt","threadPage.runAction.setup.submit":"Saglabāt un palaist","threadPage.runAction.setup.title":"Izpildīt","threadPage.runAction.tooltip.withEnvironment":"{environmentName} rīcības","threadPage.toggleDiffPanel":"Pārslēgt atšķirību paneli","threadPage.toggleTerminal":"Pārslēgt termināli","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Atvērt mapi","toolSummaryForCmd.exploredFiles":"<verb>Norādīja</verb> failus","toolSummaryForCmd.exploredFilesInPath":"<verb>Norādīja</verb> failus {path}","toolSummaryForCmd.exploringFiles":"<verb>Norāda</verb> failus","toolSummaryForCmd.exploringFilesInPath":"<verb>Norāda</verb> failus {path}","toolSummaryForCmd.ranGenericCommand":"<status>Izpildīja komandu</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Izpildīja</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lasīja</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Izpilda komandu</status>{timer}","toolSummaryForCmd.runningTimer":"vienumiem {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Meklēja</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Meklēja</verb> failus","toolSummaryForCmd.searchedForInPath":"<verb>Meklēja</verb> “{query}” ar “{path}”","toolSummaryForCmd.searchingFor":"<verb>Meklē</verb> “{query}”","toolSummaryForCmd.searchingForFiles":"<verb>Meklē</verb> failus","toolSummaryForCmd.searchingForInPath":"<verb>Meklē</verb> “{query}” iekš “{path}”","traceRecording.details.noteLabel":"Ko tu darīji, kad tas notika? (pēc izvēles)","traceRecording.details.notePlaceholder":"Pārgāju uz lielu pavedienu, tad atkārtoti pārslēdzos starp cilnēm…","traceRecording.details.submit":"Sūtīt trasējumu","traceRecording.details.subtitle":"Mēs varam nosūtīt šo profila trasējumu, lai palīdzētu diagnosticēt veiktspējas problēmas.","traceRecording.details.title":"Nosūtīt profila trasējumu?","traceRecording.progress.subtitle":"Paturi Codex atvērtu, kamēr šis process tiek pabeigts.","traceRecording.saving.title":"Saglabā trasējumu…","traceRecording.startDetails.cancel":"Atcelt","traceRecording.startDetails.submit":"Labi, sākt ierakstīšanu","traceRecording.startDetails.subtitle":"Pēc tam, kad esi noklikšķinājis uz Labi, reproducē veiktspējas problēmu, tad noklikšķini uz peldošā sarkanā indikatora, lai apturētu un pārskatītu trasējumu.","traceRecording.startDetails.title":"Kā darbojas trasējuma ierakstīšana","traceRecording.stopButton.ariaLabel":"Apturēt trasējuma ierakstīšanu","traceRecording.upload.successToast":"Profila trasējums nosūtīts.","traceRecording.uploading.title":"Augšupielādē trasējumu…","wham.diff.addComment":"Pievienot komentāru","wham.diff.binaryFile":"Binārais fails netiek rādīts","wham.diff.noContent":"Nav satura","wham.fileTag.deleted":"Dzēsta","wham.fileTag.new":"Jauns","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} st.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mēn.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} ned.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} g.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Veic uzdevumu","wham.whamProposedTask.title":"Ieteicamais uzdevums","wham.whamProposedTask.useSuggestion":"Izmantot ieteikumu","workspaceRootDialog.addError":"Neizdevās pievienot projektu","workspaceRootDialog.cancel":"Atcelt","workspaceRootDialog.confirmAdd":"Pievienot projektu","workspaceRootDialog.confirmPick":"Izmantot projektu","workspaceRootDialog.description":"Ievadi ceļu {host}, lai izmantotu kā projektu.","workspaceRootDialog.pathLabel":"Projekta ceļš","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Pievienot projekta ceļu","workspaceRootDialog.title.pick":"Izvēlies projekta ceļu","worktreeInitV2.cancel":"Atcelt","worktreeInitV2.notification.failedTitle":"Worktree iestatīšana neizdevās","worktreeInitV2.output.empty":"Gaida izvadi…","worktreeInitV2.status.error":"Worktree iestatīšana neizdevās.","worktreeInitV2.status.running":"Izveido worktree un palaiž iestatīšanu.","worktreeInitV2.status.runningFork":"Izveido worktree šīs sarunas sazarošanai.","worktreeInitV2.status.success":"Worktree ir gatavs.","worktreeInitV2.title":"Tiek izveidots worktree","worktreeInitV2.workLocallyInstead":"Strādāt lokāli","worktreeRestoreBanner.body":"Šī pavediena worktree tika noņemts, lai ietaupītu vietu","worktreeRestoreBanner.missing.body":"Šī pavediena darba direktorijs vairs nepastāv","worktreeRestoreBanner.missing.title":"Trūkst pašreizējā darba direktorija","worktreeRestoreBanner.restore.error":"Worktree atjaunošana neizdevās: {message}","worktreeRestoreBanner.restore.success":"Worktree atjaunots","worktreeRestoreBanner.restoreCta":"Atjaunot worktree","worktreeRestoreBanner.title":"Worktree sakopts"};Object.assign(e,globalThis.codexI18nOverrides?.["lv-LV"]);export{e as default};
 //# sourceMappingURL=lv-LV-Dr4pIaPr.js.map
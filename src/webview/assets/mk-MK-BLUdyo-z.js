@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Копирај","app.sidebar.hide":"Сокриј странична лента","app.sidebar.show":"Прикажи странична лента","app.sidebar.tooltip":"Вклучи/исклучи странична лента","appHeader.installUpdate":"Ажурирај","appSunset.body":"Оваа верзија на апликацијата веќе не е поддржана. Преземи ја најновата верзија <here>овде</here>.","appSunset.title":"Потребно е ажурирање","automation.updateDirective.create":"Креирај","automation.updateDirective.open":"Отвори","automation.updateDirective.untitled":"Автоматизација без наслов","automation.updateDirective.update":"Ажурирај","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# обид} other {# обиди}}","cloudTaskRow.archiveError":"Не успеа да се архивира задачата","code.diff.requestChange":"Промена на барање","code.diffComment.cancel":"Откажи","code.diffComment.comment":"Коментар","code.diffComment.delete":"Избриши","code.diffComment.save":"Зачувај","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Не се пријавени наоди.","codex.alert.closeAriaLabel":"Затвори","codex.appUpsellBanner.cbpApi.message":"Гради побрзо со апликацијата Codex. Преземи сега или {learnMoreLink}.","codex.appUpsellBanner.download":"Преземи","codex.appUpsellBanner.freeGo.message":"Codex е вклучен во твојот план до 2 март. Испробај ја апликацијата Codex за побрзо градење.","codex.appUpsellBanner.later":"Подоцна","codex.appUpsellBanner.learnMoreLowercase":"дознај повеќе","codex.appUpsellBanner.new":"Ново","codex.appUpsellBanner.proPlusBusiness.message":"Испробај ја апликацијата Codex со 2x ограничувања до 2 април. Преземи сега или {learnMoreLink}.","codex.appUpsellBanner.title":"Апликација Codex","codex.applyDropdown.header.changes":"Промени","codex.applyDropdown.header.fileCount":"{count, plural, one {# датотека} other {# датотеки}}","codex.applyDropdown.header.rows":"редови","codex.applyDropdown.header.title":"Примени промени","codex.applyDropdown.header.workspace":"Проект","codex.applyDropdown.results.conflicted":"{count, plural, one {1 датотека во конфликт:} other {{count} датотеки во конфликт:}}","codex.applyDropdown.results.empty":"Не се копирани датотеки","codex.applyDropdown.results.skipped":"{count, plural, one {1 прескокната датотека:} other {{count} прескокнати датотеки}}","codex.applyOrRevertBanner.apply":"Примени","codex.applyOrRevertBanner.applyMessage":"Да се применат промените и да се продолжи локално?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Оваа задача е направена во {environment}, па затоа може да не се примени чисто.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Промените направени во {environment} може да не се применат чисто.","codex.applyOrRevertBanner.reapply":"Повторно аплицирај","codex.applyOrRevertBanner.revert":"Врати","codex.applyOrRevertBanner.revertMessage":"Да се вратат применетите промени?","codex.applyResultsDialog.applied":"Применети чисти ({count})","codex.applyResultsDialog.close":"Затвори","codex.applyResultsDialog.conflicted":"Конфликтни ({count})","codex.applyResultsDialog.noDetails":"Нема достапни детали за датотеката.","codex.applyResultsDialog.skipped":"Прескокнати ({count})","codex.applyResultsDialog.title":"Примени ги резултатите","codex.archiveInfo":"Види архивирани разговори во {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Контроли на податоци","codex.archiveInfo.electron":"Види архивирани разговори во {settingsLink}","codex.archiveInfo.extension":"Прегледај ги архивираните разговори во твојата папка .codex.","codex.archiveInfo.settingsLink":"Поставки","codex.banner.content.description":"Извршувај задачи паралелно, следи го напредокот насекаде и прегледувај ги барањата за повлекување со вештачка интелигенција.","codex.banner.content.headline":"Codex го прави сето тоа.","codex.cloudTaskRow.archiveTask":"Архивирај задача","codex.cloudTaskRow.confirmArchiveTask":"Потврди","codex.command.feedback":"Повратни информации","codex.command.findInThread":"Најди","codex.command.forceReloadSkills":"Присили повторно вчитување на вештини","codex.command.logOut":"Одјави се","codex.command.manageTasks":"Управувај со задачите","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Назад","codex.command.navigateForward":"Напред","codex.command.newThread":"Нова нишка","codex.command.nextThread":"Следна нишка","codex.command.openFolder":"Отвори папка","codex.command.openSkills":"Оди на вештини","codex.command.openThreadOverlay":"Прикажи ја нишката","codex.command.personalitySettings":"Карактер","codex.command.previousThread":"Претходна нишка","codex.command.settings":"Поставки","codex.command.toggleDiffPanel":"Вклучи/исклучи панел за разлики","codex.command.toggleSidebar":"Вклучи/исклучи странична лента","codex.command.toggleTerminal":"Вклучи/исклучи терминал","codex.commandGroup.app":"Апликација","codex.commandGroup.configure":"Конфигурирај","codex.commandGroup.navigation":"Навигација","codex.commandGroup.panels":"Панели","codex.commandGroup.skills":"Вештини","codex.commandGroup.thread":"Нишка","codex.commandGroup.workspace":"Проект","codex.commandMenu.noResults":"Нема совпаѓања","codex.commandMenu.searchPlaceholder":"Пребарај команди","codex.commandMenu.suggestedGroup":"Предложено","codex.commandMenu.switchWorkspace":"Смени проект","codex.commandMenu.title":"Мени со команди","codex.common.retry":"Обиди се повторно","codex.composer.searchBranches":"Пребарај гранки","codex.dialog.basic.body":"Ова е едноставен модален дијалог што го користи нашиот обвивач околу Radix Dialog.","codex.dialog.basic.cancel":"Откажи","codex.dialog.basic.confirm":"Потврди","codex.dialog.basic.open":"Отвори дијалог","codex.dialog.basic.title":"Примерок на дијалог","codex.dialog.long.close":"Затвори","codex.dialog.long.line":"Линија {index} што може да се лизга за да се прикаже долга содржина во дијалогот.","codex.dialog.long.open":"Отвори долг дијалог","codex.dialog.long.title":"Долг дијалог за содржина","codex.dialog.unstyled.body":"Оваа приказна покажува како повикувачите може целосно да го контролираат стилот на содржината на дијалогот.","codex.dialog.unstyled.open":"Отвори нестилизиран дијалог","codex.dialog.unstyled.title":"Нестилизирана содржина","codex.diff.openInEditorPrompt.openButton":"Отвори во уредувач","codex.diff.openInEditorPrompt.singleLine":"Оваа датотека е преголема за да се прикаже тука.","codex.diffView.failedToDecodeBase64Diff":"Не успеа да се декодира разликата на base64","codex.diffView.filesChanged":"{fileCount, plural, one {# променета датотека} other {# променети датотеки}}","codex.diffView.imagePreviewAlt":"Преглед на слика","codex.diffView.imagePreviewEmpty":"Нема слика","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Нема различни податоци","codex.diffView.pdfPreview.nextPage":"Следна страница","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Претходна страница","codex.diffView.pdfPreviewEmpty":"Нема преглед на PDF","codex.diffView.pdfPreviewError":"Не може да се прикаже прегледот на PDF","codex.diffView.richPreviewDisable":"Оневозможи богат преглед","codex.diffView.richPreviewEnable":"Овозможи богат преглед","codex.diffView.richPreviewLoading":"Вчитување на прегледот…","codex.diffView.richPreviewToggle":"Вклучи/исклучи богат преглед","codex.diffView.switchToUnified":"Префрли на унифицирана разлика","codex.environmentSelector.noEnvironment":"Нема околина","codex.environments.environmentSettings":"Поставки за околината","codex.environments.learnMore":"Дознај повеќе","codex.environments.listError":"Не успеа да се вчитаат околините.","codex.environments.noEnvironmentsFound":"Нема пронајдени околини","codex.environments.searchError":"Не успеа да се пребаруваат околините.","codex.errorBoundary.genericError":"Упс, се појави грешка","codex.errorBoundary.goHome":"Обиди се повторно","codex.file.patch.missing":"Не може да се изгради лепенка за оваа датотека.","codex.gallery.automations.cwdLabel":"Проекти","codex.gallery.automations.nameLabel":"Име","codex.gallery.automations.namePlaceholder":"Резимирај задача","codex.gallery.automations.promptLabel":"Промпт","codex.gallery.automations.promptPlaceholder":"Опиши што треба Codex да прави ","codex.gallery.dialogs.automation.label":"Дијалог за автоматизација","codex.gallery.dialogs.basic.body":"Користи го овој распоред за јасни потврди или кратки форми.","codex.gallery.dialogs.basic.cancel":"Откажи","codex.gallery.dialogs.basic.confirm":"Потврди","codex.gallery.dialogs.basic.label":"Основен дијалог","codex.gallery.dialogs.basic.title":"Примерок на дијалог","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Опиши го проблемот","codex.gallery.dialogs.feedbackSubmission.bad":"Лош резултат","codex.gallery.dialogs.feedbackSubmission.bug":"Грешка","codex.gallery.dialogs.feedbackSubmission.good":"Добар резултат","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Вклучи ги тековните дневници на сесиите на Codex","codex.gallery.dialogs.feedbackSubmission.label":"Поднесување повратни информации","codex.gallery.dialogs.feedbackSubmission.other":"Друго","codex.gallery.dialogs.feedbackSubmission.placeholder":"Опиши го проблемот овде","codex.gallery.dialogs.feedbackSubmission.submit":"Поднеси","codex.gallery.dialogs.feedbackSubmission.title":"Повратни информации","codex.gallery.dialogs.feedbackSuccess.body":"Повратните информации се поставени. Ако проблемот продолжи, отвори прашање во GitHub или спомени го ID на нишката во некое отворено прашање:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Отфрли","codex.gallery.dialogs.feedbackSuccess.label":"Успешни повратни информации","codex.gallery.dialogs.feedbackSuccess.title":"Повратните информации се поставени","codex.gallery.dialogs.gitApplyResults.applied":"Применети чисто (2)","codex.gallery.dialogs.gitApplyResults.close":"Затвори","codex.gallery.dialogs.gitApplyResults.conflicted":"Конфликтни (1)","codex.gallery.dialogs.gitApplyResults.label":"Примени ги резултатите","codex.gallery.dialogs.gitApplyResults.title":"Примени ги резултатите","codex.gallery.dialogs.gitPushError.body":"Повлечи ги најновите промени или присили замена ако знаеш дека далечинската историјата може безбедно да се презапише.","codex.gallery.dialogs.gitPushError.cancel":"Откажи","codex.gallery.dialogs.gitPushError.force":"Присили притискање","codex.gallery.dialogs.gitPushError.label":"Грешка при замената","codex.gallery.dialogs.gitPushError.subtitle":"Твојата гранка заостанува зад изворната/главната.","codex.gallery.dialogs.gitPushError.title":"Неуспешно притискање на промените","codex.gallery.dialogs.gitRevert.cancel":"Откажи","codex.gallery.dialogs.gitRevert.confirm":"Врати","codex.gallery.dialogs.gitRevert.label":"Врати промени","codex.gallery.dialogs.gitRevert.skip":"Не прашувај пак","codex.gallery.dialogs.gitRevert.subtitle":"Ова дејство ги отстранува сите овие промени.","codex.gallery.dialogs.gitRevert.title":"Врати промени?","codex.gallery.dialogs.longForm.label":"Дијалог за долга форма","codex.gallery.dialogs.proseModal.body":"Овој стил на модал се користи за подолги инструкции, вклучување или блокови со богата содржина. ","codex.gallery.dialogs.proseModal.close":"Затвори","codex.gallery.dialogs.proseModal.subtitle":"Сподели насоки во подолга форма или документ тука.","codex.gallery.dialogs.proseModal.title":"Прозен модал","codex.gallery.dialogs.submitBlocked.label":"Поднесувањето е блокирано","codex.gallery.dialogs.submitBlocked.message":"Твојата порака не можеше да се прати бидејќи проектот не е достапен.","codex.gallery.dialogs.submitBlocked.ok":"Во ред","codex.gallery.dialogs.submitBlocked.title":"Не може да се испрати пораката","codex.gallery.dialogs.title":"Дијалози","codex.gallery.dropdown.filterPlaceholder":"Филтрирај ставки","codex.gallery.dropdowns.actionRow":"Редови за дејство","codex.gallery.dropdowns.actionRow.disabled":"Оневозможено дејство","codex.gallery.dropdowns.actionRow.primary":"Примарно дејство","codex.gallery.dropdowns.actionRow.secondary":"Секундарно дејство","codex.gallery.dropdowns.actionRow.trigger":"Прикажи дејства","codex.gallery.dropdowns.basic":"Основно паѓачко мени","codex.gallery.dropdowns.basic.newFile":"Нова датотека","codex.gallery.dropdowns.basic.newFolder":"Нова папка","codex.gallery.dropdowns.basic.openSettings":"Отвори поставки","codex.gallery.dropdowns.basic.title":"Брзи дејства","codex.gallery.dropdowns.basic.trigger":"Отвори го менито","codex.gallery.dropdowns.basic.upload":"Постави","codex.gallery.dropdowns.panel":"Површина на табла","codex.gallery.dropdowns.panel.apply":"Примени","codex.gallery.dropdowns.panel.body":"Прегледај ги разликите и примени ги на твојот проект.","codex.gallery.dropdowns.panel.preview":"Преглед","codex.gallery.dropdowns.panel.title":"Примени промени","codex.gallery.dropdowns.panel.trigger":"Отвори табла","codex.gallery.dropdowns.search":"Пребарливо паѓачко мени","codex.gallery.dropdowns.search.first":"Канал Alpha","codex.gallery.dropdowns.search.second":"Гранка Beta ","codex.gallery.dropdowns.search.third":"Кандидат за ослободување","codex.gallery.dropdowns.search.trigger":"Филтрирај ставки","codex.gallery.dropdowns.submenu":"Паѓачко мени со подменија","codex.gallery.dropdowns.submenu.optionA":"Проект alpha","codex.gallery.dropdowns.submenu.optionB":"Проект beta","codex.gallery.dropdowns.submenu.optionC":"Проект gamma","codex.gallery.dropdowns.submenu.primary":"Назначи сопственик","codex.gallery.dropdowns.submenu.secondary":"Премести во","codex.gallery.dropdowns.submenu.tertiary":"Архивирај","codex.gallery.dropdowns.submenu.trigger":"Избери дејство","codex.gallery.dropdowns.title":"Паѓачки менија","codex.gallery.inbox.automations.close":"Затвори","codex.gallery.inbox.automations.popover.cardTitle":"Управувај со автоматизации","codex.gallery.inbox.automations.popover.dialogTitle":"Управувај со автоматизации","codex.header.settingsTooltip":"Поставки","codex.hunk.patch.error":"Не успеа да се подготви","codex.hunk.patch.missing":"Не може да се изгради лепенка за овој дел.","codex.hunk.patch.partialSuccess":"Делумен успех.","codex.hunk.patch.revertError":"Не успеа да се откаже подготовка","codex.hunk.patch.revertSuccess":"Успешно е откажана подготовка","codex.hunk.patch.success":"Успешно е подготвено","codex.legal.autonomy.details":"За повеќе детали, види {link}","codex.legal.autonomy.details.link":"Документи на Codex","codex.legal.autonomy.title":"Одлучи колку автономија сакаш да доделиш","codex.legal.backButton":"Назад","codex.legal.cloud.taskOne.meta":"openai/agi · 12 октомври","codex.legal.cloud.taskOne.title":"Објасни го складиштето на нов дизајнер","codex.legal.cloud.taskThree.meta":"openai/codex · 8 октомври","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Креирај тема за темен режим","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 октомври","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Поправи грешка при вклучување","codex.legal.continue.apikey":"Продолжи","codex.legal.continueButton":"Следно","codex.legal.copilot.details":"Го користи твојот Copilot план за сите модел повици, наплата и ограничувања на цените. Користењето на екстензијата на Codex е предмет и на {oaiTos} и на {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Услови за користење на GitHub","codex.legal.copilot.oaiTosLink":"Услови за користење на OpenAI Codex","codex.legal.copilot.title":"Овозможено од GitHub Copilot","codex.legal.mistakes.review":"Прегледај го кодот што го пишува и командите што ги извршува","codex.legal.mistakes.title":"Codex може да направи грешки","codex.legal.powered.details":"Ги користи ограничувањата на цените на твојот план и {link}","codex.legal.powered.details.link":"претпочитања за податоци за обука","codex.legal.powered.title":"Овозможено од твојата сметка на ChatGPT","codex.legal.step.cloud.subtitle":"Испраќај задачи до Codex за да работат во позадина за да можеш да останеш фокусиран и да се движиш побрзо.","codex.legal.step.cloud.title":"Предај на Codex во облакот","codex.legal.step.intro.subtitle":"Codex навигира, уредува, извршува команди и извршува тестови директно во твоето складиште. Овозможено од твојата сметка на ChatGPT.","codex.legal.step.intro.title":"Codex во твојата IDE","codex.legal.step.todo.subtitle":"Напиши коментар за TODO и конвертирај го во задача на Codex со еден клик.","codex.legal.step.todo.title":"Претвори ги TODOs во задачи на Codex","codex.legal.todo.heading":"// TODO: имплементирање на шема","codex.localConversation.closeImagePreview":"Затвори го прегледот на сликата","codex.localConversation.userImageAttachment":"Прилог на корисник","codex.localTaskRow.archiveTask":"Архивирај нишка","codex.localTaskRow.awaitingApproval":"Се чека одобрување","codex.localTaskRow.awaitingResponse":"Се чека одговор","codex.localTaskRow.confirmArchiveTask":"Потврди","codex.loggedOut.apiKeyPrompt.cancel":"Откажи","codex.loggedOut.apiKeyPrompt.confirm":"Во ред","codex.loggedOut.apiKeyPrompt.getKey":"Добиј API клуч","codex.loggedOut.apiKeyPrompt.inputLabel":"Внеси го твојот API клуч на OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Задачите на облак се оневозможени со API клуч","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Задачите на облак се оневозможени со Copilot и API клуч","codex.loggedOut.signIn":"Најави се со ChatGPT","codex.loggedOut.signIn.cancel":"Откажи најавување","codex.loggedOut.signInWithCopilot":"Најави се со GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Користи API клуч","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} алатка","codex.mcpTool.collapsedLabel.verb.called":"Повикани","codex.mcpTool.collapsedLabel.verb.calling":"Се повикува","codex.mcpTool.embeddedResource.contentLabel":"Содржина","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME тип","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Алатката не врати содржина","codex.mcpTool.rawPayloadHeading":"Необработени {server}.{tool} информации од повик на алатка","codex.menu.recent":"Неодамнешни","codex.menu.seeAllHistory":"Види ја целата историја","codex.modelCapacityBanner.headline.noReset":"{modelName} е моментално пополнето. Обиди се повторно подоцна или почни нов разговор со друг модел.","codex.modelCapacityBanner.headline.withReset":"{modelName} е моментално пополнето. Обиди се повторно по {resetDate} или почни нов разговор со друг модел.","codex.modelCapacityBanner.title":"Избраниот модел е пополнет","codex.patch.change.contentsDeleted":"Содржината е избришана","codex.patch.change.created":"Креирано","codex.patch.change.created-file":"Креирана датотека","codex.patch.change.creating":"Се креира","codex.patch.change.deleted":"Избришано","codex.patch.change.deleted-file":"Избришана датотека","codex.patch.change.deleting":"Се брише","codex.patch.change.edited":"Уредено","codex.patch.change.edited-file":"Уредена датотека","codex.patch.change.editing":"Уредува","codex.patch.change.noChanges":"Нема промени","codex.patch.change.rejected-add":"Одбиено","codex.patch.change.rejected-delete":"Одбиено","codex.patch.change.rejected-edit":"Одбиено","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} од {total} задачи завршени","codex.plan.todoListCreated":"Листата со задачи е креирана со {total} задачи","codex.profileDropdown.apiKeyAuth":"Најавено со API клуч","codex.profileDropdown.codexSettings":"Поставки на Codex","codex.profileDropdown.copilotAuth":"Најавено со Copilot","codex.profileDropdown.defaultAccountTitle":"Стандардна сметка","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter за праќање долги промптови","codex.profileDropdown.enterBehaviorError":"Неуспешно ажурирање на поставката","codex.profileDropdown.getPlus":"Надгради за повисоки ограничувања","codex.profileDropdown.keyboardShortcuts":"Кратенки на тастатурата","codex.profileDropdown.language":"Јазик","codex.profileDropdown.languageDefault":"Автоматско откривање","codex.profileDropdown.languageSearchPlaceholder":"Пребарај јазици","codex.profileDropdown.languageUpdateError":"Неуспешно ажурирање на јазикот","codex.profileDropdown.logOut":"Одјави се","codex.profileDropdown.mcp":"Поставки на MCP","codex.profileDropdown.openConfigToml":"Отвори config.toml","codex.profileDropdown.openConfigToml.wsl":"Отвори config.toml во WSL околина","codex.profileDropdown.openExtensionSettings":"Отвори поставки","codex.profileDropdown.openMcpSettings":"Отвори поставки на MCP","codex.profileDropdown.openOnStartup":"Отвори при стартување","codex.profileDropdown.openOnStartupError":"Неуспешно ажурирање на поставката","codex.profileDropdown.openSkillsSettings":"Отвори ги поставките за вештини","codex.profileDropdown.personalAccountTitle":"Лична сметка","codex.profileDropdown.queueFollowUps":"Следење на редици","codex.profileDropdown.queueFollowUpsError":"Неуспешно ажурирање на поставката","codex.profileDropdown.readDocs":"Прочитај документи","codex.profileDropdown.readSkillsDocs":"Прочитај документи","codex.profileDropdown.runInWsl":"Стартувај во WSL","codex.profileDropdown.runInWslError":"Неуспешно ажурирање на поставката","codex.profileDropdown.runInWslTooltip":"Го стартува Codex во WSL. Препорачано за подобрена безбедност на sandbox и подобри перформанси.","codex.profileDropdown.settings":"Поставки на IDE","codex.profileDropdown.settingsPage":"Поставки","codex.profileDropdown.signInWithOpenAI":"Најави се со ChatGPT","codex.profileDropdown.skills":"Поставки за вештини","codex.profileDropdown.switchToCopilotAccount":"Користи сметка на Copilot","codex.profileDropdown.switchToOpenAIAccount":"Користи сметка на OpenAI","codex.profileDropdown.todoCodelens":"Поправи ги коментарите на TODO","codex.profileDropdown.todoCodelensError":"Неуспешно ажурирање на поставката","codex.profileDropdown.windowsDocumentation":"Документација на Windows","codex.profileFooter.signedInFallback":"Поставки","codex.profileFooter.upgrade":"Надгради","codex.recentTasksMenu.clearSearch":"Избриши пребарување","codex.recentTasksMenu.cloud":"Задачи во облак","codex.recentTasksMenu.count":"{count, plural, =0 {Нема задачи во тек} one {# задача во тек} other {# задачи во тек}}","codex.recentTasksMenu.empty":"Сè уште нема нишки","codex.recentTasksMenu.errorCloud":"Не успеа да се вчитаат задачите.","codex.recentTasksMenu.errorCloud.inline":"Не успеа да се вчитаат задачите во облакот.","codex.recentTasksMenu.filterAll":"Сите","codex.recentTasksMenu.filterCloudTasks":"Филтрирај задачи во облакот","codex.recentTasksMenu.filterTooltip":"Филтрирај задачи по околина","codex.recentTasksMenu.local":"Локални задачи","codex.recentTasksMenu.recent":"Сите задачи","codex.recentTasksMenu.search":"Пребарај неодамнешни задачи","codex.recentTasksMenu.searchEmpty":"Нема резултат","codex.recentTasksMenu.tooltip":"Историја на задачи","codex.recentTasksMenu.trigger":"Неодамнешни задачи. {count, plural, one {# во тек} other {# во тек}}","codex.remoteConversation.applyDiff.applyCta":"Примени промени","codex.remoteConversation.applyDiff.dropdownTitle":"Примени ги промените во локална гранка","codex.remoteConversation.applyDiff.revertCta":"Врати промени","codex.remoteConversation.closeImagePreview":"Затвори го прегледот на сликата","codex.remoteConversation.codexCloudTask":"Гледаш задача во <u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Грешка: {message}","codex.remoteConversation.loadingImage":"Вчитување на сликата","codex.remoteConversation.openInWeb":"Отвори на веб","codex.remoteConversation.streaming":"Започнување","codex.remoteConversation.turnFailed":"Се појави грешка за време на оваа задача","codex.remoteConversation.turnTab.loading":"Обид {number}","codex.remoteConversation.turnTab.title":"Обид {number}","codex.remoteConversation.userImageAttachment":"Прилог на корисник","codex.remoteConversation.viewPreviousTurns":"Отвори на веб","codex.remoteConversation.viewPreviousTurns.buttonText":"Отвори","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Отвори на веб","codex.review.copyGitApplyCommand":"Копирај ја командата git apply","codex.review.copyGitApplyCommand.toast":"Командата git apply е копирана на складот","codex.review.diffTooLarge.description":"Оваа разлика е преголема за да се прикаже во Преглед.","codex.review.diffTooLarge.title":"Разликата е преголема за да се прикаже","codex.review.expandOrCollapseDiffButton.collapse":"Сокриј ги сите разлики","codex.review.expandOrCollapseDiffButton.expand":"Прошири ги сите разлики","codex.review.expandOrCollapseDiffMenu.collapse":"Сокриј ги сите разлики","codex.review.expandOrCollapseDiffMenu.expand":"Прошири ги сите разлики","codex.review.fileSearch.clear":"Исчисти го филтерот на датотеката","codex.review.fileSearch.empty":"Нема датотеки што се совпаѓаат со тековниот филтер.","codex.review.fileSearch.label":"Датотеки од филтер","codex.review.fileSearch.placeholder":"Датотеки од филтер...","codex.review.filesChanged":"{num, plural, =0 {Нема променети датотеки} one {# променета датотека} other {# променети датотеки}}","codex.review.find.loadMore":"Вчитај повеќе совпаѓања","codex.review.fullReview.hideFileTree":"Сокриј дрво на датотека","codex.review.fullReview.showFileTree":"Прикажи дрво на датотека","codex.review.header.moreOptions":"Опции за преглед","codex.review.largeDiff.banner":"Откриени се големи разлики - се прикажува една датотека во дадено време.","codex.review.loadFullFiles.disable":"Не вчитувај цели датотеки","codex.review.loadFullFiles.enable":"Вчитувај цели датотеки","codex.review.noDiff":"Промените во датотеката ќе се појават тука","codex.review.noDiff.gitInit.createRepository":"Креирај git складиште","codex.review.noDiff.gitInit.creating":"Се креира…","codex.review.noDiff.gitInit.error":"Не успеа иницијализирањето на Git: {message}","codex.review.noDiff.gitInit.success":"Складиштето на git е креирано","codex.review.noDiff.gitRepoRequired.description":"Следи ги и отповикај ги промените во овој проект","codex.review.noDiff.gitRepoRequired.title":"Креирај git складиште","codex.review.noDiff.orNoLongerAvailable":"или најновите разлики веќе не се достапни","codex.review.noDiff.reverted":"Последниот круг е вратен","codex.review.noDiff.revertedOrCommitted":"Последниот круг или е вратен или извршен","codex.review.refreshGitQueries":"Освежи","codex.review.revert.file.error":"Не успеа да се врати {path}","codex.review.revert.file.partialSuccess":"Делумно вратено {path}","codex.review.revert.file.success":"Вратено {path}","codex.review.revert.hunk.error":"Не успеа да се врати делот {hunkNumber} во {path}","codex.review.revert.hunk.partialSuccess":"Делумно вратен дел {hunkNumber} во {path}","codex.review.revert.hunk.success":"Вратен дел {hunkNumber} во {path}","codex.review.revert.section.error":"Неуспешно враќање на делот","codex.review.revert.section.partialSuccess":"Делот е делумно вратен","codex.review.revert.section.success":"Делот е вратен","codex.review.revertDialog.cancel":"Откажи","codex.review.revertDialog.confirm":"Потврди","codex.review.revertDialog.message":"Ова дејство ги отстранува сите овие промени.","codex.review.revertDialog.skip":"Не прашувај пак","codex.review.revertDialog.title":"Врати промени?","codex.review.richPreview.disable":"Оневозможи богат преглед","codex.review.richPreview.enable":"Овозможи богат преглед","codex.review.source.cloud":"Промени на облак","codex.review.source.local.all":"Сите промени во гранките","codex.review.source.local.lastTurn":"Последни промени во свртувањето","codex.review.source.local.uncommitted":"Неизвршени промени","codex.review.source.worktree":"Неизвршени промени на работното дрво","codex.review.stageFilter.empty.staged.description":"Прифати измени за подготвување","codex.review.stageFilter.empty.staged.title":"Нема подготвени промени","codex.review.stageFilter.empty.unstaged.description":"Промените во кодот ќе се појават тука","codex.review.stageFilter.empty.unstaged.title":"Нема неподготвени промени","codex.review.stageFilter.staged":"Подготвени","codex.review.stageFilter.staged.count":"Подготвени · {count}","codex.review.stageFilter.unstaged":"Неподготвени","codex.review.stageFilter.unstaged.count":"Неподготвени · {count}","codex.review.switchToSplit":"Префрли на поделба на разликата","codex.review.switchToUnified":"Префрли на унифицирана разлика","codex.review.toggleDiffView":"Вклучи/исклучи го приказот на разликите","codex.review.wordDiffs.disable":"Оневозможи разлики во зборови","codex.review.wordDiffs.enable":"Овозможи разлики во зборови","codex.review.wrap.disable":"Оневозможи вклопување на зборови","codex.review.wrap.enable":"Овозможи вклопување на зборови","codex.section.patch.missing":"Не може да се изгради лепенка за овој дел.","codex.shell.collapse":"Сокриј ја обвивката","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Копирана содржина на обвивката","codex.shell.copy.copyTooltip":"Копирај ја содржината на обвивката","codex.shell.copyCommand":"Копирај команда","codex.shell.copyOutput":"Копирај резултат","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Прошири ја обвивката","codex.shell.name":"Shell","codex.shell.noOutput":"Нема резултат","codex.signInFailed.message":"Најавувањето не успеа: {rawMessage}","codex.stories.toast.show":"Прикажи здравица","codex.stories.tooltip.basic":"Ова е опис на елемент","codex.stories.tooltip.hoverMe":"Задржи ме тука","codex.stories.tooltip.largerOffset":"Овој опис на елемент има поголемо отстапување","codex.stories.tooltip.offsetButton":"Поголемо отстапување","codex.stories.tooltip.shortcutButton":"Со кратенка","codex.stories.tooltip.withShortcut":"Вклучи/исклучи терминал","codex.taskRow.title":"Нова нишка","codex.taskRowLayout.confirm":"Потврди","codex.threadFindBar.chatFilter":"Пребарај разговор","codex.threadFindBar.close":"Затвори опција за наоѓање","codex.threadFindBar.diffFilter":"Пребарај разлики","codex.threadFindBar.label":"Најди во нишка","codex.threadFindBar.nextResult":"Следни резултати","codex.threadFindBar.noResults":"0 резултати","codex.threadFindBar.placeholder":"Пребарај нишка...","codex.threadFindBar.placeholder.extension":"Пребарај нишка...","codex.threadFindBar.placeholder.review":"Пребарај разлики...","codex.threadFindBar.placeholder.review.extension":"Пребарај разлики...","codex.threadFindBar.previousResult":"Претходни резултати ","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# променета датотека} other {# променети датотеки}}","codex.unifiedDiff.inlineLargeFile":"Преголема за прикажување вметната","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Врати","codex.unifiedDiff.revertPatchError":"Неуспешно враќање на промените","codex.unifiedDiff.revertPatchSuccess":"Промените се вратени","codex.unifiedDiff.reviewChangesSuffix":"промени","codex.unifiedDiff.reviewShort":"Прегледај","codex.unifiedDiff.viewDiffTooltip":"Преглед","codex.upsellBanner.business.headline":"За да добиеш поголем пристап сега, испрати барање до администраторот или почекај до {resetDate}.","codex.upsellBanner.cbp.headline":"За да добиеш поголем пристап сега, испрати барање до твојот администратор.","codex.upsellBanner.cta.addCredits":"Додај кредити","codex.upsellBanner.cta.upgradeAccount":"Надгради","codex.upsellBanner.cta.viewUsage":"Види користење","codex.upsellBanner.free.trialHeadline":"Твоето ограничување се ресетира на {resetDate}. За да продолжиш да го користиш Codex и да добиеш пристап до GPT-5.3-Codex, почни го твојот бесплатен пробен период на Plus денес.","codex.upsellBanner.freeOrGo.headline":"Ограничувањето се ресетира на {resetDate}. За да продолжиш да го користиш Codex, надгради на Plus денес.","codex.upsellBanner.general.headline":"Ограничување се ресетира на {resetDate}.","codex.upsellBanner.general.title":"Немаш веќе пораки на Codex","codex.upsellBanner.go.trialHeadline":"Твоето ограничување се ресетира на {resetDate}. За да продолжиш да го користиш Codex, почни го твојот бесплатен пробен период на Plus денес.","codex.upsellBanner.plus.headline":"Ограничувањето се ресетира на {resetDate}. За да продолжиш да го користиш Codex, додај кредити или надгради на Plus денес.","codex.upsellBanner.pro.headline":"Ограничувањето се ресетира на {resetDate}. Додај кредити за да продолжиш да го користиш Codex сега.","codex.userMessage.autoResolveSync":"Автоматско решавање конфликти","codex.userMessage.commentCount":"{count, plural, one {# коментар} other {# коментари}}","codex.userMessage.copiedAriaLabel":"Копирано","codex.userMessage.copiedTooltip":"Копирано","codex.userMessage.copyAriaLabel":"Копирај порака","codex.userMessage.copyTooltip":"Копирај","codex.userMessage.implementPlan":"Спроведи го планот","codex.userMessage.noContent":"(Нема содржина)","codex.userMessage.priorConversation":"Се упатува на претходен разговор","codex.userMessage.reviewMode":"Режим на преглед","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"за {query}","codex.webSearch.summary.verb.completed":"Пребарано на интернет","codex.webSearch.summary.verb.inProgress":"Се пребарува на интернет","codex.windowsInstallWslBanner.dismiss":"Отфрли","codex.windowsInstallWslBanner.installWslCta":"Овозможи sandbox","codex.windowsInstallWslBanner.learnMore":"Дознај повеќе","codex.windowsSandboxBanner.content":"Режимот на агент користи експериментален sandbox на Windows за да го ограничи пристапот до системот на датотеки и мрежата. {sandboxLink}","codex.windowsSandboxBanner.title":"Овозможи sandbox за режим на агент","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Поставки на Windows","codexUpgradeModal.body":"Нашиот најнов модел на frontier агентско кодирање - попаметен, побрз и поспособен за општа техничка работа. {link}","codexUpgradeModal.close":"Затвори","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Дознај повеќе","codexUpgradeModal.title":"Вовед во GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Пробај го GPT-5.3-Codex сега","codexUpgradeModal.useExistingModel":"Продолжи со тековниот модел","commentAttachments.numComments":"{count, plural, one {# коментар} other {# коментари}}","commentAttachments.removeAriaLabel":"Отстрани го прилогот од коментарите","common.close":"Затвори","composer.addContext.openFilePickerError":"Не може да се отвори избирачот на датотеки","composer.addContextDropdown.ariaLabel":"Додај датотеки и повеќе","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Додај датотеки и повеќе","composer.addPhotosAndFiles":"Додај датотеки и слики","composer.atMentionList.emptyQuery":"Пишувај за да пребаруваш датотеки","composer.atMentionList.loading":"Се пребарува...","composer.atMentionList.noResults":"Нема резултати","composer.attemptsSelector.option":"{count, plural, one {# верзија} other {# верзии}}","composer.attemptsSelector.tooltip":"Број на паралелни обиди што треба да ги направи Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Запри","composer.cloudFollowUp.cloud":"Облак","composer.cloudFollowUp.local":"Локално","composer.cloudFollowUp.whereRun":"Каде треба да се спроведе ова следење?","composer.cloudTaskCreationError":"Грешка при креирање задача во облакот","composer.cloudTaskError":"Грешка при креирање на задачата","composer.contextWindow.autoCompactionTooltipLine1":"Codex автоматски го компактира својот контекст","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Контекстен прозорец:","composer.contextWindowUsageStatusFull":"{usage} % полно","composer.contextWindowUsageStatusLeft":"{usage} % искористено ({remaining} % останато)","composer.contextWindowUsageTooltip":"{usedTokens} k / {contextWindow} k искористени токени","composer.customCliTooltip":"Користење на прилагодена CLI извршна датотека","composer.dictation.aria":"Диктирај","composer.dictation.cancel.aria":"Запри диктат","composer.dictation.cancel.tooltip":"Запри диктат","composer.dictation.startError":"Не може да се започне диктирање","composer.dictation.submit.aria":"Транскрибирај и прати","composer.dictation.submit.tooltip":"Транскрибирај и прати","composer.dictation.tooltip":"Задржи за да диктираш","composer.dictation.transcribeError":"Не може да се транскрибира аудио","composer.dictation.unsupported":"Диктирањето не е достапно на овој уред","composer.dropOverlay.holdShift":"Држи {key} за да пуштиш","composer.dropOverlay.shiftKey":"Смена","composer.environmentSelector.createNew":"Креирај нова","composer.environmentSelector.error":"Грешка при вчитување на околините","composer.environmentSelector.goBack":"Назад кон составувач","composer.environmentSelector.title":"Избери околина","composer.environmentSelector.tooltip":"Избери околина на облак","composer.feedbackSlashCommand.title":"Повратни информации","composer.filePicker.selectFile":"Избери датотека","composer.filePicker.selectFiles":"Избери датотеки","composer.followerTooltip":"За да продолжиш, врати се на прозорецот каде што почна овој разговор.","composer.footer.branchSwitch.checkoutError":"Неуспешно менување на гранката: {message}","composer.footer.branchSwitch.createAndCheckout":"Креирај и активирај нова гранка…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Изврши промени за да креираш и активираш нова гранка","composer.footer.branchSwitch.createBranchError":"Не успеа да се креира гранка: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Име на гранка","composer.footer.branchSwitch.createDialog.branchExistsError":"Гранката веќе постои.","composer.footer.branchSwitch.createDialog.close":"Затвори","composer.footer.branchSwitch.createDialog.createAndCheckout":"Креирај и активирај","composer.footer.branchSwitch.createDialog.placeholder":"нова-гранка","composer.footer.branchSwitch.createDialog.title":"Креирај и активирај гранка","composer.footer.branchSwitch.createDialog.trailingSlashError":"Името на гранката не може да завршува со „/“.","composer.footer.branchSwitch.tooltip":"Смени гранка","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Изврши промени во {fileCount, plural, one {# датотека} other {# датотеки}} за да провериш {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Изврши","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"промени во {fileCount, plural, one {# датотека} other {# датотеки}} за да провериш {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Откажи","composer.footer.branchSwitch.uncommittedDialog.commit":"Изврши и смени гранка…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Твоите промени во следните датотеки ќе бидат презапишани до активирањето:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Изврши ги твоите промени за да продолжиш","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"избраната гранка","composer.footer.branchSwitch.uncommittedDialog.title":"Изврши промени за да ја смениш гранката","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Неизвршени: {fileCount, plural, one {# датотека} other {# датотеки}}","composer.forkSlashCommand.description":"Разграни ја оваа нишка во локално или ново работно дрво","composer.forkSlashCommand.option.local.description":"Продолжи во нова локална нишка","composer.forkSlashCommand.option.local.title":"Разграни во локално","composer.forkSlashCommand.option.worktree.description":"Продолжи во ново работно дрво","composer.forkSlashCommand.option.worktree.title":"Разграни во ново работно дрво","composer.forkSlashCommand.title":"Разграни","composer.ideContextIndicator":"IDE контекст","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Вклучи контекст од IDE","composer.ideContextIndicator.tooltipToggle":"за вклучување/исклучување","composer.ideContextSlashCommand.disableDescription":"Исклучи контекст на IDE","composer.ideContextSlashCommand.enableDescription":"Вклучи го тековниот избор, отворените датотеки и друг контекст од твојот IDE","composer.ideContextSlashCommand.title":"IDE контекст","composer.imageInputsUnsupported":"Овој модел не поддржува внесување слики. Пробај со друг модел.","composer.imageUploadFailed":"Неуспешно прикачување на сликата","composer.includeIdeContextDropdown":"Вклучи IDE контекст","composer.includeIdeContextDropdown.ariaLabel":"Вклучи IDE контекст","composer.localCwdDropdown.addWorkspaceRoot":"Додај нов проект","composer.localCwdDropdown.noActiveRoot":"Избери го твојот проект","composer.localCwdDropdown.noResults":"Не се пронајдени папки","composer.localCwdDropdown.title":"Избери го твојот проект","composer.localTaskError":"Грешка при започнување на разговорот","composer.mcpSlashCommand.description":"Прикажи статус на MCP сервер","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Не е автентициран","composer.mcpStatus.authOauth":"Автентициран (OAuth)","composer.mcpStatus.authToken":"Автентициран (API-клуч)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Затвори","composer.mcpStatus.disabled":"Оневозможено","composer.mcpStatus.emptyLabel":"Сервери:","composer.mcpStatus.emptyValue":"Нема конфигурирани MCP сервери","composer.mcpStatus.enabled":"Овозможено","composer.mcpStatus.errorLabel":"Статус:","composer.mcpStatus.errorValue":"Не може да се вчита статусот на MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Префрлување на режим","composer.mode.agentMode.custom":"Прилагодено","composer.mode.agentMode.custom.dropdownLabel":"Прилагодено","composer.mode.agentMode.custom.option":"Прилагодено (config.toml)","composer.mode.agentMode.custom.optionLabel":"Прилагодено (config.toml)","composer.mode.agentMode.customInfo.cancel":"Откажи","composer.mode.agentMode.customInfo.cli":"Можеш да ги прилагодиш тие поставки од CLI или со директно уредување на датотеката.","composer.mode.agentMode.customInfo.confirm":"Користи прилагоден режим","composer.mode.agentMode.customInfo.description":"Прилагодениот режим ги применува политиките за одобрување и sandbox дефинирани во твојата<link>config.toml</link> датотека.","composer.mode.agentMode.customInfo.docs":"Дознај повеќе за конфигурирање на политиките за одобрување и sandbox во<link>документи за извршување на околината</link>.","composer.mode.agentMode.customInfo.refresh":"Сите промени стапуваат на сила следниот пат кога агентот ќе се стартува.","composer.mode.agentMode.customInfo.title":"Како функционира прилагодениот режим","composer.mode.agentMode.fullAccess":"Агент (целосен пристап)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (целосен пристап)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (целосен пристап)","composer.mode.agentMode.fullAccessConfirm.caution":"Биди внимателен кога овозможуваш целосен пристап. Ова значително го зголемува ризикот од губење на податоци, протекување или неочекувано однесување.","composer.mode.agentMode.fullAccessConfirm.confirm":"Да, сепак продолжи","composer.mode.agentMode.fullAccessConfirm.description":"Кога Codex работи со целосен пристап, може да уредува која било датотека на твојот компјутер и да извршува команди преку мрежа, без твое одобрение.","composer.mode.agentMode.fullAccessConfirm.goBack":"Откажи","composer.mode.agentMode.fullAccessConfirm.title":"Да се овозможи целосен пристап?","composer.mode.agentMode.readOnly":"Разговор","composer.mode.agentMode.readOnly.dropdownLabel":"Разговор","composer.mode.agentMode.readOnly.optionLabel":"Разговор","composer.mode.agentMode.tooltip":"Префрлување на режим","composer.mode.agentMode.tooltip.auto":"Читај и уредувај датотеки и извршувај команди.","composer.mode.agentMode.tooltip.custom":"Користи ги најновите политики за одобрување и sandbox дефинирани во config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex може да уредува датотеки надвор од проектот и да извршува команди со мрежен пристап. Биди внимателен при користењето.","composer.mode.agentMode.tooltip.readOnly":"Потребно е одобрение за уредување на датотеки и извршување на команди.","composer.mode.cloud.tooltip":"Работа во околина на облак","composer.mode.contactAdmin":"За да добиеш поголем пристап, контактирај со твојот администратор","composer.mode.local":"Локално","composer.mode.local.learnMore":"Дознај повеќе","composer.mode.local.model.custom":"Прилагодено","composer.mode.local.model.loadingModel":"Вчитување на моделот","composer.mode.local.model.selecrReasoningEffort":"Избери расудување","composer.mode.local.model.selectModel":"Избери модел","composer.mode.local.model.tooltip":"Избери модел","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Висок","composer.mode.local.reasoning.low.label":"Низок","composer.mode.local.reasoning.medium.label":"Среден","composer.mode.local.reasoning.minimal.label":"Минимален","composer.mode.local.reasoning.none.label":"Нема","composer.mode.local.reasoning.xhigh.label":"Екстрависок","composer.mode.localRemoteWhereRun":"Избери каде да се изврши задачата","composer.mode.newTask.header":"Продолжи во","composer.mode.rateLimit.day":"{days} денa","composer.mode.rateLimit.heading":"Преостанати ограничувања на стапките","composer.mode.rateLimit.hour":"{hours} часа","composer.mode.rateLimit.minute":"{minutes} минути","composer.mode.rateLimit.modelSectionLabel":"{modelName} ограничување:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {седмично ограничување} other {{weeks} седмично ограничување}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Седмично} other {{weeks} седмици}}","composer.mode.remote.connectToCloud":"Поврзи се со Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Постави околина преку Codex web за да овозможиш испраќање задачи во облакот","composer.mode.remote.selectEnvironment":"Избери околина","composer.mode.remote.sendToCloud":"Испрати во облак","composer.mode.remote.setupViaWeb":"Постави околина преку Codex web","composer.mode.runInCloud":"Облак","composer.mode.runInCloudWithEnvironment":"Облак · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Работи во околина на облак","composer.mode.segmentedToggle.local.tooltip":"Работи во твојот локален проект","composer.mode.segmentedToggle.worktree.tooltip":"Работи во паралелно работно дрво","composer.mode.upgradeToPlus":"Надгради на Plus","composer.mode.upgradeToPro":"Надгради на Pro","composer.mode.workLocally":"Локален проект","composer.mode.workLocally.currentBranchFallback":"твојата гранка","composer.mode.workLocally.tooltip":"Работа на {branchName}","composer.mode.worktree":"Ново работно дрво","composer.mode.worktree.submoduleWarning":"Ова складиште има подмодули од Git. Креирањето работно дрво може да не успее","composer.mode.worktree.tooltip":"Креирај копија од твојот локален проект за паралелна работа","composer.mode.worktreeSegment":"Работно дрво","composer.modelChangeDuringConversationWarning.toast":"Менувањето на моделите на сред разговор ќе ги намали перформансите.","composer.newChat.heading.browser":"Што треба да кодираме следно?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex ја користи дозволата дефинирана во config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex има целосен пристап до твојот компјутер (зголемен ризик)","composer.permissionsDropdown.custom.label":"Прилагодено (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Прилагодено (config.toml)","composer.permissionsDropdown.default.label":"Стандардни дозволи","composer.permissionsDropdown.default.optionLabel":"Стандардни дозволи","composer.permissionsDropdown.default.tooltip":"Codex автоматски извршува команди во песочник","composer.permissionsDropdown.disabled.requirements":"Дозволите се заклучени од requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Целосниот режим е оневозможен од requirements.toml","composer.permissionsDropdown.fullAccess.label":"Целосен пристап","composer.permissionsDropdown.fullAccess.optionLabel":"Целосен пристап","composer.permissionsDropdown.trigger.tooltip":"Промени дозволи","composer.personalitySlashCommand.description.friendly":"Топол, соработлив и услужлив","composer.personalitySlashCommand.description.pragmatic":"Концизен, фокусиран на задачата и директен","composer.personalitySlashCommand.label.friendly":"Пријателски","composer.personalitySlashCommand.label.pragmatic":"Прагматичен","composer.personalitySlashCommand.notApplicableSuffix":"(Не важи за тековниот модел)","composer.personalitySlashCommand.title":"Карактер","composer.placeholder.cloudFollowUp.directFollowUp":"Следење на оваа задача во облакот","composer.placeholder.cloudFollowUp.local":"Креирај нова локална задача што се упатува на оваа задача во облакот","composer.placeholder.cloudFollowUp.workingTree":"Креирај нова задача во облакот што го вклучува твојот тековен код и ќе се упатува на оваа задача","composer.placeholder.localFollowUp.cloud":"Следење во нова задача во облакот","composer.placeholder.localFollowUp.locally":"Побарај промени за следење","composer.placeholder.newTask.cloud":"Побарај од Codex да направи нешто во облакот","composer.placeholder.newTask.doAnything":"Побарај од Codex да направи што било","composer.placeholder.newTask.locally":"Прашај го Codex што било, @ за да додадеш датотеки, / за команди","composer.planModeDropdown":"Режим на планирање","composer.planModeDropdown.ariaLabel":"Режим на планирање","composer.planModeIndicator":"План","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Креирај план со Codex","composer.planModeIndicator.tooltipToggle":"за вклучување/исклучување","composer.planSlashCommand.disableDescription":"Исклучи го режимот на планирање","composer.planSlashCommand.enableDescription":"Вклучи го режимот на планирање","composer.planSlashCommand.title":"Режим на планирање","composer.priorContext.label":"Претходен контекст","composer.priorContext.removeAriaLabel":"Отстрани го претходниот контекст","composer.queuedMessage.delete":"Избриши порака во ред","composer.queuedMessage.edit":"Уреди порака","composer.queuedMessage.more":"Дејства за пораки во ред","composer.queuedMessage.sendNow":"Управувај","composer.queuedMessage.sendNowTooltip":"Испрати сега без прекинување на работата","composer.queuedMessage.turnOff":"Исклучи ставање во ред","composer.reasoningEffort.local.reasoning.tooltip":"Избери напор за расудување","composer.remote.branchStartingPoint":"Од која гранка треба да почне оваа задача?","composer.remote.branchesSectionHeading":"Гранки","composer.remote.currentEditsSuffix.followUp":"Креирај нова задача што се упатува на оваа задача во облакот.","composer.remote.currentEditsSuffix.useLocal":"со промени во локалниот код","composer.remote.directFollowUp":"Не користи локални промени","composer.remote.errorLoadingBranches":"Грешка при вчитувањето на гранките","composer.remote.fromBranch":"Од {branch}","composer.remote.fromCurrentBranch":"Од {branch} (тековна)","composer.remote.loadingMoreBranches":"Се вчитува…","composer.remote.localFileStateHeading":"Локална состојба на датотека","composer.remote.localWorkingTree":"Користи локални промени","composer.remote.startingPoint":"Од кој код треба да почне оваа задача?","composer.reviewMode.branches.error":"Не може да се вчитаат гранките","composer.reviewMode.branches.retry":"Обиди се повторно","composer.reviewMode.gitRoot.error":"Git root не е пронајден","composer.reviewMode.option.baseBranch.simple":"Прегледај во однос на основна гранка","composer.reviewMode.option.unstaged.simple":"Прегледај неизвршени промени","composer.reviewMode.quickReviewError":"Не успеа да се почне со преглед на кодот.","composer.reviewMode.title":"Преглед на кодот","composer.sandboxButton.unlock.disabled.tooltip":"Целосниот режим е оневозможен од requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex може да користи експериментален песочник на Windows за да го ограничи пристапот до системот на датотеки и мрежата. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Овозможи песочник на Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Користи само за читање","composer.searchEnvironments":"Пребарај околини","composer.skillMentionList.app":"Апликација","composer.skillMentionList.loading":"Вчитување на вештини...","composer.skillMentionList.noResults":"Не се пронајдени вештини","composer.slashCommands.cloudEnvironment.title":"Околина на облак","composer.slashCommands.dialogLabel":"Мени со команди со коса црта","composer.slashCommands.dialogTitle":"Команди со коса црта","composer.slashCommands.disabledTooltip":"Почни нов разговор за да користиш команди со коса црта","composer.slashCommands.inputPlaceholder":"Пребарај","composer.slashCommands.noResults":"Нема команди","composer.slashCommands.skillsGroup":"Вештини","composer.slashCommands.tooltip":"Прелистај ги командите со коса црта","composer.status.close":"Затвори","composer.statusPlain.alertLabel":"Предупредување:","composer.statusPlain.alertValue":"{remaining} % останато на {window}","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count} K","composer.statusPlain.contextValueMetadata":"({used} искористени / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % останати","composer.statusPlain.heading":"Статус","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ограничување:","composer.statusPlain.rateLimitDays":"{count} дена ограничување","composer.statusPlain.rateLimitFallbackLabel":"Ограничување на стапката:","composer.statusPlain.rateLimitHours":"{count} часа ограничување","composer.statusPlain.rateLimitLabelBase":"Ограничување на стапката","composer.statusPlain.rateLimitMinutes":"{count} минути ограничување","composer.statusPlain.rateLimitPercent":"{remaining} % останати","composer.statusPlain.rateLimitReset":"се ресетира {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"времето за ресетирање е недостапно","composer.statusPlain.rateLimitUnavailable":"Недостапно","composer.statusPlain.sessionCopiedAriaLabel":"Копиран ID на сесија","composer.statusPlain.sessionCopiedTooltip":"Копиран ID","composer.statusPlain.sessionCopyAriaLabel":"Копирај ID на сесија","composer.statusPlain.sessionCopyTooltip":"Копирај ID","composer.statusPlain.sessionLabel":"Сесија:","composer.statusSlashCommand.description":"Прикажи ID на нишка, користење на контекст и ограничувања на стапката","composer.statusSlashCommand.title":"Статус","composer.submit.blockedDialogOk":"Во ред","composer.submit.blockedDialogTitle":"Не може да се испрати пораката","composer.submit.emptyMessage":"Внеси порака за да почнеш","composer.submit.imageInputsUnsupported":"Отстрани слики или смени модели за да ја испратиш оваа порака.","composer.submit.loadingLocalConfig":"Се вчитува…","composer.submit.missingCloudConfig":"Мора да избереш околина на облак","composer.submit.missingCloudTurn":"Не може да се следи оваа задача","composer.submit.noWorkspace":"Додај проект за да го користиш Codex","composer.submit.waitForImageUploads":"Сликите се прикачуваат…","composer.submitButtonTooltip.send":"Испрати","composer.submitButtonTooltip.stop":"Запри","composer.worktreeEnvironment.create":"Креирај локална околина","composer.worktreeEnvironment.default":"Стандардна околина","composer.worktreeEnvironment.error":"Грешка при вчитување на околините","composer.worktreeEnvironment.loading":"Се вчитуваат околини…","composer.worktreeEnvironment.title":"Локална околина","composer.worktreeEnvironment.tooltip":"Избери локална околина","composer.worktreeSetupFailed":"Поставувањето на работното дрво не успеа. Провери .codex/environments за скрипта за поставување.","compoundButton.secondaryAction":"Секундарно дејство","copyButton.copied":"Копирано","copyButton.copiedAriaLabel":"Копирано","copyButton.copy":"Копирај","copyButton.copyAriaLabel":"Копирај","copyButton.copyCode":"Копирај код","diff.actionButton.revertFile":"Врати датотека","diff.actionButton.revertHunk":"Врати","diff.actionButton.revertSection":"Врати ги сите","diff.actionButton.revertSectionLabel":"Врати ги сите","diff.actionButton.stageFile":"Подготви датотека","diff.actionButton.stageHunk":"Подготви","diff.actionButton.stageSection":"Подготви ги сите","diff.actionButton.stageSectionLabel":"Подготви ги сите","diff.actionButton.unstageFile":"Откажи подготовка на датотека","diff.actionButton.unstageHunk":"Откажи подготовка","diff.actionButton.unstageSection":"Откажи подготовка на сите","diff.actionButton.unstageSectionLabel":"Откажи подготовка на сите","diff.fileHeader.toggle":"Вклучи/исклучи разлика во датотеки","electron.onboarding.login.apikey.cancel":"Откажи","electron.onboarding.login.apikey.continue":"Продолжи","electron.onboarding.login.apikey.label":"API-клуч на OpenAI","electron.onboarding.login.apikey.open":"Внеси API-клуч","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Откажи најавување","electron.onboarding.login.chatgpt.continue":"Продолжи со ChatGPT","electron.onboarding.login.devbox":"Поврзи се со далечински SSH","electron.onboarding.login.error":"Најавувањето не успеа: {rawMessage}","electron.onboarding.login.snake.start":"Пушти Snake","electron.onboarding.login.sshConfig.cancel":"Откажи","electron.onboarding.login.sshConfig.continue":"Продолжи","electron.onboarding.login.sshConfig.hostnameLabel":"Име на домаќин на SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Најдобар начин да создаваш со агенти","electron.onboarding.login.title":"Добре дојде во Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Продолжи","electron.onboarding.welcome.doubleLimits.description":"Во чест на пуштањето на апликацијата Codex, имаш 2x ограничувања до 2 април.","electron.onboarding.welcome.freego.description":"Codex е вклучен во твојот план бесплатно до 2 март - ајде да почнеме да градиме заедно.","electron.onboarding.welcome.new.title.anon":"Добре дојде!","electron.onboarding.workspace.continue":"Продолжи","electron.onboarding.workspace.empty":"Додај проект за да продолжиш.","electron.onboarding.workspace.listLabel":"Достапни проекти","electron.onboarding.workspace.loading":"Се вчитуваат проекти…","electron.onboarding.workspace.openFolder":"Додај проект","electron.onboarding.workspace.selectAll":"Означи ги сите","electron.onboarding.workspace.skip":"Прескокни","electron.onboarding.workspace.skip.error":"Не можеше да се креира нов проект: {message}","electron.onboarding.workspace.skip.error.unknown":"Непозната грешка","electron.onboarding.workspace.skipping":"Се креира нов проект…","electron.onboarding.workspace.subtitle":"Codex ќе може да уредува датотеки и да извршува наредби во избрани папки.","electron.onboarding.workspace.title":"Избери проект","errorPage.list.checkSettings":"Пробај да ги ажурираш поставките на IDE","errorPage.list.configToml":"Провери го твојот config.toml за неважечки поставки","errorPage.list.downloadExtension":"Пробај да преземеш друга верзија на екстензијата","errorPage.list.runInWsl":"Провери ги поставките за да го оневозможиш работењето во WSL ако гледаш проблеми со компатибилноста","execApprovalRequest.menu.runAlways":"Да, и не прашувај повторно оваа сесија","execApprovalRequest.menu.runAlwaysWithAmendment":"Да, и не прашувај повторно за команди што почнуваат со {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Да, и не прашувај повторно за команди што почнуваат со","execApprovalRequest.menu.runOnce":"Да","execApprovalRequest.prompt":"Сакаш да се изврши оваа команда?","execApprovalRequest.reject":"Не","execFooter.exitCode":"Код за излез {code}","execFooter.exitCode.unknown":"непознато","execFooter.success":"Успех","feedback.dialog.category.badResult":"Лош резултат","feedback.dialog.category.bug":"Грешка","feedback.dialog.category.goodResult":"Добар резултат","feedback.dialog.category.other":"Друго","feedback.dialog.descriptionPlaceholder":"Опиши го проблемот овде","feedback.dialog.dismiss":"Отфрли","feedback.dialog.includeLogsLabel":"Вклучи ги тековните дневници на сесиите на Codex","feedback.dialog.submit":"Поднеси","feedback.dialog.submitError":"Не можевме да ги испратиме твоите повратни информации. Обиди се повторно за момент.","feedback.dialog.title":"Повратни информации","feedback.dialog.uploadedMessage.existingIssue":"постоечко отворено прашање","feedback.dialog.uploadedMessage.openIssue":"отвори проблем на GitHub","feedback.dialog.uploadedMessage.withThread":"Повратните информации се поставени. Ако проблемот продолжи, те молиме {openIssueLink} или спомени го ID на нишката во {existingIssueLink}:","feedback.dialog.uploadedTitle":"Повратните информации се поставени","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Отстрани {filename}","header.back":"Назад","header.recentChats":"Задачи","header.recentTasks.seeAll":"Прикажи ги сите ({total})","home.header.getPlus":"Купи Plus","home.hero.letsBuild":"Ајде да градиме","homePage.mainContent":"Главна содржина","imageAttachment.defaultName":"слика","imageAttachment.preview.close":"Затвори го прегледот на сликата","imageAttachment.removeAriaLabel":"Отстрани {filename}","implementPlanRequest.option.implement":"Да, спроведи го овој план","implementPlanRequest.prompt":"Да се спроведе овој план?","inbox.archived.deleteError":"Не може да се избрише архивираното извршување","inbox.archived.deleteRun":"Избриши архивирано извршување","inbox.archived.deleteSuccess":"Избришана е архивирана нишка. Прикажи во <settingsLink>Архивирани нишки</settingsLink>.","inbox.archived.inlineLabel.auto":"Оваа нишка е автоматски архивирана. <learnMoreLink>Дознај повеќе</learnMoreLink>","inbox.archived.inlineLabel.manual":"Оваа нишка е архивирана.","inbox.archived.noMessageFound":"Не е пронајдена порака","inbox.automations.createError":"Не може да се креира автоматизација","inbox.automations.deleteConfirm.cancel":"Откажи","inbox.automations.deleteConfirm.confirm":"Избриши автоматизација","inbox.automations.deleteConfirm.description":"Ова трајно ќе ја избрише автоматизацијата и ќе ги запре сите идни извршувања.","inbox.automations.deleteConfirm.title":"Избриши {name}?","inbox.automations.deleteError":"Не може да се избрише автоматизацијата","inbox.automations.editTooltip":"Уреди автоматизација","inbox.automations.inProgress":"Во тек","inbox.automations.new":"Ново","inbox.automations.newToolbar":"Нова автоматизација","inbox.automations.pauseTooltip":"Паузирај автоматизација","inbox.automations.resumeTooltip":"Продолжи со автоматизација","inbox.automations.startingNow":"Почнува сега","inbox.automations.startsIn":"Почнува во {startTime}","inbox.automations.status.active":"Активно","inbox.automations.status.paused":"Паузирано","inbox.automations.status.runs":"{count} извршувања","inbox.automations.status.started":"Започнато {date}","inbox.automations.updateError":"Не може да се ажурира автоматизацијата","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Сите","inbox.filter.ariaLabel":"Филтрирај ставки во приемното сандаче","inbox.filter.unread":"Непрочитани","inbox.list.archived":"Архивирано","inbox.list.inProgress":"Во тек","inbox.list.recent":"Завршено","inbox.list.upNext":"Закажани","inbox.mode.automations":"Автоматизации","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Не е даден опис","inbox.openThread":"Отвори нишка","inbox.rightPanel.emptySubtitle":"Автоматизирај ја работата поставувајќи закажани задачи","inbox.rightPanel.emptySubtitle.learnMore":"Автоматизирај ја работата со поставување закажани нишки.<link>Дознај повеќе</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# активна автоматизација} other {# активни автоматизации}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Нема непрочитани автоматизации","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# непрочитана автоматизација} other {# непрочитани автоматизации}}","inbox.rightPanel.emptyTitle":"Не е избрана ставка","inbox.rightPanel.noThread":"Нема нишка за оваа ставка","inbox.rightPanel.quickStart.header":"Почни со шаблон","inbox.untitled":"Ставка без наслов во приемното сандаче","loadingPage.documentationLink":"документација","loadingPage.errorDescription":"Codex падна поради следната грешка:","loadingPage.errorDescription.documentation":"Кликни вчитај пак за да ја рестартираш екстензијата на Codex или посети го нашиот {documentationLink} за дополнителна помош.","loadingPage.errorSignal":"Некои работи што треба да ги пробаш:","loadingPage.errorTitle":"Се појави грешка","loadingPage.openConfigToml":"Отвори Config.toml","loadingPage.reload":"Вчитај пак","localConversation.contextCompacted":"Контекстот е автоматски компактиран","localConversation.contextCompacting":"Автоматско компактирање на контекст","localConversation.forkedFromConversation":"Разгрането од {threadTitle}","localConversation.merge.autoResolve.failed":"Неуспешно барање за автоматско решавање: {error}","localConversation.merge.autoResolve.sent":"Испратено е барање за автоматско решавање","localConversation.merge.autoResolveMerge.missingConversation":"Не може автоматски да се реши без активен разговор.","localConversation.merge.autoResolveMerge.request":"Автоматско решавање на конфликтите на спојување","localConversation.modelChanged":"Моделот е променет од {fromModel} во {toModel}.","localConversation.modelChanged.warning.line1":"Менувањето на моделите на сред разговор ќе ги намали перформансите.","localConversation.modelChanged.warning.line2":"Контекстот може автоматски да се компактира.","localConversation.moveThread.createBranch.label":"Креирај гранка","localConversation.moveToLocal.disabled.loading":"Се вчитува…","localConversation.moveToLocal.modal.continue":"Продолжи","localConversation.moveToLocal.modal.destinationLabel":"Премести во","localConversation.moveToLocal.modal.retry":"Обиди се повторно","localConversation.moveToWorktree.modal.back":"Назад","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Гранката веќе постои.","localConversation.moveToWorktree.modal.branchesError":"Не може да се вчитаат гранките","localConversation.moveToWorktree.modal.branchesLoading":"Вчитување на гранки…","localConversation.moveToWorktree.modal.branchesRetry":"Обиди се повторно","localConversation.moveToWorktree.modal.continue":"Продолжи","localConversation.moveToWorktree.modal.retry":"Обиди се повторно","localConversation.moveToWorktree.modal.trailingSlashError":"Името на гранката не може да завршува со „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"нова-гранка","localConversation.personalityChanged":"Префрлено на карактер {personality}","localConversation.planSummary.collapse":"Сокриј го резимето на планот","localConversation.planSummary.collapseTooltip":"Сокриј","localConversation.planSummary.download":"Преземи план","localConversation.planSummary.expand":"Прошири го резимето на планот","localConversation.planSummary.expandTooltip":"Прошири","localConversation.planSummary.openInNewWindow":"Отвори","localConversation.planSummary.openInNewWindow.tooltip":"Отвори во нов прозорец","localConversation.planSummary.title":"План","localConversation.planSummary.titleWriting":"План за пишување","localConversation.planSummary.viewPlan":"Прошири план","localConversation.remoteTaskCreated":"Креирано {taskLink} во Codex Cloud","localConversation.remoteTaskCreated.task":"задача","localConversation.scrollToBottomButton":"Листај до дното","localConversation.sync.buttonLabel":"Предај на локално","localConversation.sync.buttonLabel.tooltip":"Пренеси ги промените меѓу ова работно дрво и твојата локална копија.","localConversation.sync.modal.loading.title":"Предавање промени…","localConversation.sync.modal.noChanges":"Нема промени","localConversation.syncSetup.branchAriaLabel":"Име на гранка","localConversation.syncSetup.branchName":"Име на гранка","localConversation.syncSetup.branchPlaceholder.existing":"Избери постоечка гранка","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Вчитување на гранки…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Веќе активирана","localConversation.syncSetup.checkoutClean":"Тековно на {branchName}","localConversation.syncSetup.checkoutDirty":"Моментално на {branchName} со неизвршени промени","localConversation.syncSetup.checkoutError":"Неуспешна проверка на гранката: {message}","localConversation.syncSetup.checkoutLabel":"Провери локално сега","localConversation.syncSetup.checkoutOnLocal":"Предај на локално","localConversation.syncSetup.checkoutPending":"Проверка на локалниот статус…","localConversation.syncSetup.checkoutUnavailable":"Локалниот работен простор не е достапен","localConversation.syncSetup.checkoutUnknown":"Локалната гранка е недостапна","localConversation.syncSetup.continue":"Продолжи","localConversation.syncSetup.createBranchError":"Неуспешно поставување на гранка за предавање: {message}","localConversation.syncSetup.error":"Нешто не е во ред: {message}","localConversation.syncSetup.error.workingTreeMissing":"Не може да се направи слика од работното дрво. Обиди се повторно со предавање.","localConversation.syncSetup.mode.ariaLabel":"Избери режим на гранка","localConversation.syncSetup.mode.existing":"Постоечка гранка","localConversation.syncSetup.mode.new":"Нова гранка","localConversation.syncSetup.noBranches":"Не се најдени гранки","localConversation.syncSetup.overwriteError":"Гранката е креирана, но не е целосно предадена. Предај ја рачно пред да извршиш локална проверка.","localConversation.syncSetup.setPrefix":"Постави префикс","localConversation.syncSetup.subtitle":"Тестирај и уредувај ги промените на работното дрво локално. <a>Дознај повеќе</a>","localConversation.syncSetup.success.checkedOut":"Гранката е креирана и е активирана локално","localConversation.syncSetup.success.notCheckedOut":"Гранката е креирана","localConversation.syncSetup.title":"Предај на локална гранка","localConversation.syncWorktreeError.branchAriaLabel":"Име на гранка","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Избери гранка на која ќе ги предадеш промените, а потоа обиди се повторно да ги вчиташ.","localConversation.syncWorktreeError.branchSetup.title":"Ажурирај гранка","localConversation.syncWorktreeError.branchUpdate.cta":"Ажурирај и обиди се повторно","localConversation.syncWorktreeError.branchUpdate.error":"Неуспешно ажурирање на гранката: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Нешто не е во ред: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Гранката не е активирана во ниту едно работно дрво.","localConversation.syncWorktreeV2.applyUncommitted":"Примени","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Мора да ја активираш гранката локално за да примениш неизвршени промени","localConversation.syncWorktreeV2.branches.empty":"Не се најдени гранки","localConversation.syncWorktreeV2.branches.loading":"Се вчитуваат гранки…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Промени ја гранката за предавање","localConversation.syncWorktreeV2.changeBranch.error":"Неуспешна промена на гранката за предавање: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Примената не успеа","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Презапишувањето на работното дрво не успеа","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Презапишувањето локално не успеа","localConversation.syncWorktreeV2.commandError.back":"Назад","localConversation.syncWorktreeV2.commandError.body":"Командата git не успеа при предавањето. Прегледај го резултатот и обиди се повторно.","localConversation.syncWorktreeV2.commandError.retry":"Обиди се повторно","localConversation.syncWorktreeV2.description":"Предавање на промените меѓу локалното и ова работно дрво <a>Дознај повеќе</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Избери насока на предавање","localConversation.syncWorktreeV2.error.generic":"Нешто тргна наопаку при предавањето. Обиди се повторно.","localConversation.syncWorktreeV2.localBranchLabel":"Локално","localConversation.syncWorktreeV2.noChanges":"Пресметување на промените","localConversation.syncWorktreeV2.noChanges.summary":"Нема промени","localConversation.syncWorktreeV2.overwrite.local":"Презапиши локално","localConversation.syncWorktreeV2.overwrite.worktree":"Презапиши работно дрво","localConversation.syncWorktreeV2.partial.action.applyFailed":"Не можеше да се применат промените","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Не можеше да се презапишат локалните промени","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Не можеше да се презапишат промените на работното дрво","localConversation.syncWorktreeV2.partial.appliedLabel":"Применето","localConversation.syncWorktreeV2.partial.back":"Назад","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Реши ги конфликтите и обиди се повторно.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Конфликти","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# датотека} other {# датотеки}}","localConversation.syncWorktreeV2.partial.retry":"Обиди се повторно","localConversation.syncWorktreeV2.partial.skippedLabel":"Прескокнато","localConversation.syncWorktreeV2.stateFailed.generic":"Нешто тргна наопаку при преземањето на промените во работното дрво за предавање. Обиди се повторно.","localConversation.syncWorktreeV2.stateFailed.title":"Неуспешно вчитување на промени во работното дрво","localConversation.syncWorktreeV2.statusError.diffUnknown":"Неуспешно вчитување на промени во работното дрво.","localConversation.syncWorktreeV2.statusError.retry":"Обиди се повторно","localConversation.syncWorktreeV2.statusError.title":"Не може да се вчитаат промените во локалната гранка","localConversation.syncWorktreeV2.statusError.unknown":"Статусот на гранката е недостапен во моментов. Обиди се повторно.","localConversation.syncWorktreeV2.success.apply":"Успешно применети промени","localConversation.syncWorktreeV2.success.overwrite":"Предавањето е успешно","localConversation.syncWorktreeV2.title":"Предај промени","localConversation.syncWorktreeV2.worktreeLabel":"Работно дрво","localConversation.userInputRequest.inProgress":"Поставување на {count, plural, one {прашање} other {прашања}}","localConversation.userInputRequest.noAnswer":"Не е даден одговор","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Поставени","localConversation.userInputRequest.summary.count":"{count, plural, one {# прашање} other {# прашања}}","localConversation.workedFor":"Работено {time}","localConversation.worktreeBranchSetup.action.create":"Креирај","localConversation.worktreeBranchSetup.branchAriaLabel":"Име на гранка","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Креирај нова гранка","localConversation.worktreeBranchSetup.checkoutDisabled":"Оваа гранка е веќе активирана на {location}","localConversation.worktreeBranchSetup.checkoutError":"Неуспешна проверка на гранката: {message}","localConversation.worktreeBranchSetup.createBranchError":"Неуспешно поставување на гранката: {message}","localConversation.worktreeBranchSetup.error":"Нешто не е во ред: {message}","localConversation.worktreeBranchSetup.subtitle":"Креирај гранка за да ги извршиш промените, да притиснеш и да креираш барање за повлекување од ова работно дрво. <a>Дознај повеќе</a>","localConversation.worktreeBranchSetup.title":"Работи тука","localConversationPage.addWorktreeToSidebar.tooltip":"Зачувај како проект за да можеш да започнуваш нови нишки од ова работно дрво","localConversationPage.addWorktreeToSidebarError":"Неуспешно додавање на проектот","localConversationPage.commitAndCreatePrModal.errorTitle":"Извршувањето и креирањето на барање за повлекување не успеаја","localConversationPage.commitAndCreatePrModal.successTitle":"Извршено и креирано барање за повлекување","localConversationPage.commitAndPushModal.errorTitle":"Извршувањето и притискањето не успеаја","localConversationPage.commitAndPushModal.successTitle":"Извршени и притиснати промени","localConversationPage.commitCreatePr.open":"Отвори барање за повлекување","localConversationPage.commitCreatePr.successTitle":"Креирано барање за повлекување со твоите најнови промени","localConversationPage.createBranchButtonLabel":"Разграни тука","localConversationPage.createPrModal.baseBranch":"Основна","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Креирај PR","localConversationPage.createPrModal.createDescription":"Отвори барање за повлекување за твоите најнови промени.","localConversationPage.createPrModal.errorTitle":"Барањето за повлекување не успеа","localConversationPage.createPrModal.headBranch":"Главна","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Отвори барање за повлекување","localConversationPage.createPrModal.successTitle":"Барањето за повлекување е креирано","localConversationPage.createPrModal.title":"Креирај барање за повлекување","localConversationPage.createPrModal.viewDescription":"Веќе постои барање за повлекување за оваа гранка.","localConversationPage.createPrModal.viewTitle":"Барањето за повлекување е подготвено","localConversationPage.createPullRequestAuthGh":"Автентицирај GitHub CLI: изврши `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Информациите за гранката се недостапни","localConversationPage.createPullRequestButtonLabel":"Креирај PR","localConversationPage.createPullRequestButtonLabel.loading":"Се креира PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Информациите за стандардната гранка се недостапни","localConversationPage.createPullRequestError":"Не успеа да се креира барање за повлекување","localConversationPage.createPullRequestExistingPullRequest":"Веќе постои барање за повлекување за оваа гранка","localConversationPage.createPullRequestGhStatusMissing":"Вчитување на статусот на GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Инсталирај GitHub CLI (gh) за да креираш барања за повлекување","localConversationPage.createPullRequestNoRepo":"Не е пронајдено git складиште","localConversationPage.createPullRequestPushStatusMissing":"Вчитување на статусот на притискање…","localConversationPage.createPullRequestSetUpstream":"Притисни ја оваа гранка пред да креираш барање за повлекување","localConversationPage.createPullRequestSuccessToast":"Барањето за повлекување е креирано","localConversationPage.createPullRequestSwitchBranch":"Провери ја гранката на функции пред да креираш барање за повлекување","localConversationPage.error.render":"Грешка при прикажување на локалниот разговор","localConversationPage.error.toast":"Разговорот не е пронајден","localConversationPage.forcePushError":"Не успеа присилното притискање","localConversationPage.generatePullRequestMessageError":"Неуспешно генерирање на насловот и телото на барањето за повлекување","localConversationPage.generatePullRequestMessageFailed":"Неуспешно генерирање на насловот и телото на барањето за повлекување.","localConversationPage.gitActionResult.branch":"Гранка","localConversationPage.gitActionResult.cancel":"Откажи","localConversationPage.gitActionResult.close":"Затвори","localConversationPage.gitActionResult.tryAgain":"Обиди се повторно","localConversationPage.gitActions":"Дејства на Git","localConversationPage.newChat":"Нов разговор","localConversationPage.openInTarget":"Отвори во","localConversationPage.openPrimaryTarget":"Отвори","localConversationPage.planItemsCompleted":"{completedItems} од {totalItems, plural, one {# завршени задачи} other {# завршени задачи}}","localConversationPage.pushAuthError":"Притискањето не успеа: потребна е автентикација","localConversationPage.pushBranchMissing":"Информациите за гранката се недостапни","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Се притиска...","localConversationPage.pushError":"Неуспешно притискање на промените","localConversationPage.pushModal.branchLabel":"Гранка","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Откажи","localConversationPage.pushModal.confirm":"Притисни","localConversationPage.pushModal.description":"Притисни ги твоите најнови извршувања во оддалеченото складиште.","localConversationPage.pushModal.errorTitle":"Притискањето не успеа","localConversationPage.pushModal.forcePush":"Присили притискање","localConversationPage.pushModal.successTitle":"Притискањето е завршено","localConversationPage.pushModal.title":"Притисни промени","localConversationPage.pushModal.tryAgain":"Обиди се повторно","localConversationPage.pushNoUpstream":"Постави upstream пред да ја притиснеш оваа гранка","localConversationPage.pushNoUpstreamError":"Притискањето не успеа: не е конфигурирано upstream","localConversationPage.pushNothingToPush":"Нема нови извршувања за притискање","localConversationPage.pushRemoteChangedError":"Притискањето не успеа: далечинските имаат нови извршувања","localConversationPage.pushRemoteRejectedError":"Притискањето е одбиено од далечинското","localConversationPage.pushStatusMissing":"Вчитување на статусот на притискање…","localConversationPage.pushSuccessToast":"Промените се пренесени","localConversationPage.viewPullRequestButtonLabel":"Види барање за повлекување","localConversationPage.viewPullRequestButtonLabel.loading":"Барањето за повлекување се вчитува…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# датотека} other {# датотеки}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# листа} other {# листи}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# пребарување} other {# пребарувања}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Истражување","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Истражено","localConversationTurn.exploration.accordion.header.complete.withCounts":"Истражено {counts}","localConversationTurnStory.showContent":"Прикажи ја содржината","localConversationTurnStory.streamContent":"Пренесувај ја содржината","localConversationTurnStory.toggleReasoning":"Прикажи го расудувањето","localTaskRow.archiveError":"Неуспешно архивирање на разговорот","localTaskRow.resumeError":"Неуспешно продолжување на задачата","mermaidDiagram.ariaLabel":"Дијаграм на сирена","mermaidDiagram.copySource":"Копирај mermaid","mermaidDiagram.originalCode":"Изворен код на сирена","notifications.permissions.description":"Прикажи известувања кога се потребни дозволи за известувања","notifications.permissions.label":"Овозможи известувања за дозволи","notifications.turnMode.always":"Секогаш","notifications.turnMode.description":"Постави кога Codex ќе те извести дека е завршено","notifications.turnMode.label":"Известувања за завршување на свртувањето","notifications.turnMode.off":"Никогаш","notifications.turnMode.unfocused":"Само кога не е фокусирано","patchApprovalRequest.approve":"Одобри","patchApprovalRequest.menu.allowAlways":"Да, и не прашувај повторно оваа сесија","patchApprovalRequest.menu.allowForSession":"Да, и не прашувај повторно оваа сесија","patchApprovalRequest.menu.allowOnce":"Да","patchApprovalRequest.prompt":"Сакаш да ги направиш овие промени?","patchApprovalRequest.reject":"Не","patchApprovalRequest.waitingForApproval":"Се чека одобрување за уредување на датотеки","pendingRequest.approvalExec.collapse":"Сокриј","pendingRequest.approvalExec.expand":"Прошири","pendingRequestStory.toastAnswer":"Одговори: {answer}","pendingRequestStory.toastApprovalTitle":"Одговор за одобрување","pendingRequestStory.toastFollowupPrompt":"Промпт: {prompt}","pendingRequestStory.toastFollowupTitle":"Проследувањето е испратено","pendingRequestStory.toastNoAnswers":"Не се дадени одговори","pendingRequestStory.toastQuestion":"Прашање: {question}","pendingRequestStory.toastUnknownDecision":"Непознато","pendingRequestStory.toastUserInputTitle":"Поднесени одговори","quickAction.request.codeReview.branches.new":"Прегледај ги промените на {from} во однос на {to}","quickAction.request.codeReview.uncommitted.new":"Прегледај ги моите неизвршени промени","reasoningItem.thinking":"Размислува","reasoningItem.thought":"Размислено","reasoningItem.thoughtWithElapsed":"Размислено за {elapsed}","recentConversations.title":"Неодамнешни разговори","recentTasks.worktreeInitFailedTitle":"Иницијализацијата на работното дрво не успеа","recentTasks.worktreeSettingUpTitle":"Поставување на работно дрво","requestInputPanel.continue":"Продолжи","requestInputPanel.dismiss":"Отфрли","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Пишувај тука","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Не, и кажи му на Codex што да направи различно","requestInputPanel.selectedBadge":"Избрано","requestInputPanel.skip":"Прескокни","requestInputPanel.submit":"Поднеси","review.commit.ariaLabel.includeUnstaged":"Вклучи неподготвени","review.commit.buttonLabel":"Изврши","review.commit.disabled.committing":"Извршување…","review.commit.disabled.loadingDiff":"Се вчитуваат про…","review.commit.disabled.missingContext":"Додај малку контекст за генерирање порака за извршување","review.commit.disabled.noChanges":"Нема промени за извршување","review.commit.disabled.noSelection":"Избери промени за извршување","review.commit.disabled.unavailable":"Извршувањето не е достапно во моментов","review.commit.error":"Неуспешно извршување на промените","review.commit.form.changesToBeCommitted":"Промени","review.commit.form.commitTo":"Гранка","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Продолжи","review.commit.form.title":"Изврши ги твоите промени","review.commit.generate.emptyResponse":"Не можеше да се генерира порака за извршување.","review.commit.generate.failed":"Неуспешно генерирање порака за извршување: {error}","review.commit.generate.missingPrompt":"Додај малку контекст за генерирање на порака за извршување.","review.commit.includeUnstaged":"Вклучи неподготвени","review.commit.loading.description":"Почекај, ова може да потрае неколку моменти…","review.commit.loading.step.commit.done":"Извршени промени","review.commit.loading.step.commit.pending":"Вршење промени","review.commit.loading.step.createPr.done":"Креирано е барање за повлекување","review.commit.loading.step.createPr.pending":"Барањето за повлекување се креира","review.commit.loading.step.push.done":"Притиснато кон гранка {branch}","review.commit.loading.step.push.pending":"Притискање на гранка {branch}","review.commit.loading.title.commit":"Вршење промени","review.commit.loading.title.createPr":"Барањето за повлекување се креира","review.commit.loading.title.push":"Притискање на промени","review.commit.messageLabel":"Порака за извршување","review.commit.messagePlaceholder":"Остави празно за автоматско генерирање на порака за извршување","review.commit.nextSteps":"Следни чекори","review.commit.nextSteps.commit":"Изврши","review.commit.nextSteps.commitAndCreate":"Изврши и креирај барање за повлекување","review.commit.nextSteps.commitAndPush":"Изврши и притисни","review.commit.nextSteps.prRequiresGh":"Бара GitHub CLI: {command}","review.commit.rows.changes":"Промени","review.commit.rows.commitCount":"{count, plural, one {# извршување} other {# извршувања}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# извршување} other {# извршувања}} и {stats}","review.commit.rows.fileCount":"{count, plural, one {# датотека} other {# датотеки}}","review.commit.state.error.body":"Нешто тргна наопаку при извршувањето. Провери го статусот на git и обиди се повторно.","review.commit.state.error.title":"Извршувањето не успеа","review.commit.state.success.title":"Промените се извршени","review.commit.untracked.loadingStats":"Се вчитуваат неследени статистики за разлики…","reviewFindingAttachments.count":"{count, plural, one {# наод} other {# наоди}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Уреди ја твојата конфигурација за да го прилагодиш однесувањето на агентот","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"Рестартирај го Codex по уредувањето за да ги примениш промените","settings.agent.configuration.subtitle":"Овие поставки важат секаде каде што се користи Codex.","settings.automations.banner.danger":"Автоматизациите работат со твоите стандардни поставки за песочник, кои моментално се поставени на целосен пристап. Извршувањето на автоматизации во позадина со целосен пристап носи зголемен ризик, бидејќи Codex може да менува датотеки, да извршува команди и да пристапува до мрежата без да праша. Размисли за ажурирање на поставките за песочник на запишување во работен простор и користење <rulesDocsLink>правила</rulesDocsLink> за селективно дефинирање кои команди агентот може да ги извршува со целосен пристап.","settings.automations.banner.defaultHowTo.default":"Автоматизациите се извршуваат со твоите стандардни поставки за песочник. Повиците на алатките нема да успеат ако бараат менување на датотеки надвор од работниот простор, пристап до мрежа или работа со апликации на твојот компјутер. Можеш селективно да дозволиш команди на листата да се извршуваат надвор од песочникот користејќи <rulesDocsLink>правила</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Автоматизациите работат со твоите стандардни поставки за песочник, кои се поставени на „само за читање“. Повиците на алатките нема да успеат ако бараат менување на датотеки, пристап до мрежа или работа со апликации на твојот компјутер. Размисли за ажурирање на поставките за песочник на пишување во работен простор.","settings.automations.cancel":"Откажи","settings.automations.create":"Креирај","settings.automations.cwdEmpty":"Нема достапни папки на проекти","settings.automations.cwdLabel":"Проекти","settings.automations.cwdPlaceholder":"Избери папка","settings.automations.cwdSubtitle":"Ако сакаш автоматизација да се извршува на одредена гранка, можеш да ја наведеш во твојот промпт.","settings.automations.delete":"Избриши","settings.automations.dialog.editTitle":"Уреди автоматизација","settings.automations.dialog.newTitle":"Нова автоматизација","settings.automations.dialog.subtitle":"Автоматизирај ги повторувачките задачи во позадина. Codex додава наоди во приемното сандаче или автоматски ја архивира задачата ако нема ништо за пријавување. <learnMoreLink>Дознај повеќе</learnMoreLink>","settings.automations.dialog.title":"Креирај автоматизација","settings.automations.executionCopy.git":"Автоматизациите работат во позадина на наменски работни дрва.","settings.automations.executionCopy.nonGit":"Автоматизациите во проекти кои не се контролирани од верзии се извршуваат директно во именикот на проектот. Размисли за користење на Git за да овозможиш извршување на работни дрва во позадина.","settings.automations.executionEnvironment.local":"Локално","settings.automations.executionEnvironment.worktree":"Работно дрво","settings.automations.loading":"Се вчитува…","settings.automations.nameLabel":"Име","settings.automations.namePlaceholder":"Провери за проблеми со стражарот","settings.automations.pause":"Пауза","settings.automations.promptLabel":"Промпт","settings.automations.promptPlaceholder":"барај падови во $Sentry","settings.automations.resume":"Продолжи","settings.automations.rruleSummaryFallback":"Прилагоден распоред","settings.automations.runNow":"Тестирај","settings.automations.save":"Зачувај","settings.automations.scheduleBadge.dayCount":"{count} д.","settings.automations.scheduleBadge.interval":"{count} ч.","settings.automations.scheduleBadge.weekdays":"Работни денови","settings.automations.scheduleBadge.weekends":"Викенди","settings.automations.scheduleHeader":"Распоред","settings.automations.scheduleHours":"часа","settings.automations.scheduleLabel":"Изврши на секои","settings.automations.scheduleMode.daily":"Дневно","settings.automations.scheduleMode.interval":"Интервал","settings.automations.scheduleModeLabel":"Тип на распоред","settings.automations.scheduleSummary.daily":"Дневно во {time}","settings.automations.scheduleSummary.interval":"Секои {count} ч.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ден} other {# денови}}","settings.automations.scheduleSummary.intervalDays":"{interval} на {days}","settings.automations.scheduleSummary.intervalHourly":"Часовно","settings.automations.scheduleSummary.singleDay":"{day} во {time}","settings.automations.scheduleSummary.weekdays":"Работни денови во {time}","settings.automations.scheduleSummary.weekdaysLabel":"работни денови","settings.automations.scheduleSummary.weekends":"Викенди во {time}","settings.automations.scheduleSummary.weekendsLabel":"викенди","settings.automations.scheduleSummary.weekly":"{days} во {time}","settings.automations.scheduleWeekdays":"Вклучено","settings.automations.weekdayState.excluded":"Исклучено","settings.automations.weekdayState.included":"Вклучено","settings.conversationDetail.steps":"Чекори","settings.conversationDetail.steps.description":"Сокриј команди и резултати","settings.conversationDetail.stepsWithCommands":"Чекори со команди за код","settings.conversationDetail.stepsWithCommands.description":"Прикажи команди, сокриј го резултатот","settings.conversationDetail.stepsWithOutput":"Чекори со резултат од код","settings.conversationDetail.stepsWithOutput.description":"Прикажи команди и прошири го резултатот","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Нема архивирани разговори.","settings.dataControls.archivedChats.error":"Не можеше да се вчитаат архивираните разговори.","settings.dataControls.archivedChats.loading":"Се вчитуваат архивираните разговори...","settings.dataControls.archivedChats.unarchive":"Одархивирај","settings.dataControls.archivedChats.unarchiveError":"Одархивирањето на разговорот не успеа","settings.dataControls.archivedChats.unarchiveSuccess":"Одархивирана нишка. <viewNowLink> Види сега</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Неархивирана нишка.","settings.dataControls.archivedChats.untitled":"Разговор без наслов","settings.dataControls.archivedChats.viewNow":"Прикажи сега","settings.editRow.headerPlaceholder":"Клуч","settings.editRow.removeEntry":"Отстрани внесување","settings.editRow.valuePlaceholder":"Вредност","settings.general.appearance":"Изглед","settings.general.appearance.codeFont":"Фонт на кодот","settings.general.appearance.codeFont.description":"Прилагоди ги фонтот и големината што се користат за кодот низ разговорите и разликите","settings.general.appearance.codeFontFamily":"Семејство на фонтови на код","settings.general.appearance.codeFontSize":"Големина на фонтот на кодот","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Направи Windows да користи полна заднина наместо системска полупроѕирност","settings.general.appearance.opaqueWindows.label":"Користи непроѕирна заднина на прозорец","settings.general.appearance.sansFontFamily":"Семејство на фонтови Sans","settings.general.appearance.sansFontFamily.description":"Прилагоди го фонтот што се користи за корисничкиот интерфејс на Codex","settings.general.appearance.sansFontSize":"Големина на фонтот Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Прикажи ефекти на прослава во целиот прозорец додека GPT-5.3-Codex-Spark го извршува првиот круг","settings.general.appearance.sparkCelebrationEffects.label":"Ефекти на прослава на Spark","settings.general.appearance.theme":"Тема","settings.general.appearance.theme.dark":"Темно","settings.general.appearance.theme.description":"Користи светло, темно или усогласи го твојот систем","settings.general.appearance.theme.light":"Светло","settings.general.appearance.theme.system":"Систем","settings.general.appearance.usePointerCursors.description":"Промени го курсорот во покажувач при лебдење над интерактивни елементи","settings.general.appearance.usePointerCursors.label":"Користи курсори покажувачи","settings.general.enterBehavior.description":"Kога ќе се овозможи, повеќередните промптови бараат {modifierSymbol} + enter за праќање.","settings.general.enterBehavior.label":"Побарај {modifierSymbol} + enter за праќање долги промптови","settings.general.experimentalFeatures":"Експериментални функции (Beta)","settings.general.experimentalFeatures.empty":"Нема достапни beta експериментални функции.","settings.general.experimentalFeatures.loading":"Се вчитуваат експериментални функции…","settings.general.experimentalFeatures.restartNote":"Рестартирај го Codex за да ги примениш промените во експерименталните функции","settings.general.experimentalFeatures.toggle":"Вклучи/исклучи {featureName}","settings.general.followUpQueueMode.description":"Нареди на чекање проследувања додека Codex работи или насочи го тековното извршување. Притисни {invertFollowUpShortcutLabel} за да го направиш спротивното за една порака.","settings.general.followUpQueueMode.interrupt":"Управувај","settings.general.followUpQueueMode.label":"Следење на однесувањето","settings.general.followUpQueueMode.queue":"Ред на чекање","settings.general.notifications":"Известувања","settings.general.power.preventSleepWhileRunning.description":"Држи го компјутерот активен додека Codex извршува нишка.","settings.general.power.preventSleepWhileRunning.label":"Спречи нирување при извршување","settings.git.branchPrefix.ariaLabel":"Префикс на гранка","settings.git.branchPrefix.description":"Префикс што се користи при креирање нови гранки во Codex","settings.git.branchPrefix.label":"Префикс на гранка","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Неуспешно зачувување на префиксот на гранката","settings.git.branchPrefix.save.success":"Зачуван префикс на гранка","settings.git.commitInstructions.ariaLabel":"Изврши ги упатствата","settings.git.commitInstructions.description":"Додадено во промптови за генерирање порака за извршување","settings.git.commitInstructions.label":"Изврши ги упатствата","settings.git.commitInstructions.placeholder":"Додај насоки за порака за извршување...","settings.git.commitInstructions.save":"Зачувај","settings.git.commitInstructions.save.error":"Неуспешно зачувување на упатствата за извршување","settings.git.commitInstructions.save.success":"Зачувани се упатствата за извршување","settings.git.forcePush.ariaLabel":"Секогаш присили притискање","settings.git.forcePush.description":"Користи --force-with-lease при притискање од Codex","settings.git.forcePush.label":"Секогаш присили притискање","settings.git.forcePush.save.disabled":"Секогаш присили притискање е оневозможено","settings.git.forcePush.save.enabled":"Секогаш присили притискање е овозможено","settings.git.forcePush.save.error":"Неуспешно зачувување на поставката за присилно притискање","settings.git.prInstructions.ariaLabel":"Упатства за барањето за повлекување","settings.git.prInstructions.description":"Додадено на телата од барањето за повлекување создадени со Codex","settings.git.prInstructions.label":"Упатства за барањето за повлекување","settings.git.prInstructions.placeholder":"Додај насоки за барањето за повлекување","settings.git.prInstructions.save":"Зачувај","settings.git.prInstructions.save.error":"Неуспешно зачувување на упатствата за барањето за повлекување","settings.git.prInstructions.save.success":"Зачувани се упатствата за барањето за повлекување","settings.ide.defaultOpenTarget.description":"Каде датотеките и папките стандардно се отвораат","settings.ide.defaultOpenTarget.label":"Стандардна дестинација на отварање","settings.ide.defaultOpenTarget.placeholder":"Не се најдени цели","settings.ide.language.auto":"Автоматско откривање","settings.ide.language.autoOption":"Автоматско откривање","settings.ide.language.description":"Јазик за корисничкиот интерфејс на апликацијата","settings.ide.language.label":"Јазик","settings.ide.language.search":"Пребарај јазици","settings.layout.actionButton":"Рестартирај проширување","settings.layout.actionTitle":"Поставки со дејство","settings.layout.fullWidthTitle":"Поставки (цела ширина)","settings.layout.title":"Поставки","settings.localEnvironments.actions.add":"Додај дејство","settings.localEnvironments.actions.add.description":"Креирај нова команда за извршување од лентата со алатки.","settings.localEnvironments.actions.add.save":"Зачувај","settings.localEnvironments.actions.empty":"Додај дејство за извршување на команди од локалната лента со алатки.","settings.localEnvironments.actions.icon.debug":"Отстрани ги грешките","settings.localEnvironments.actions.icon.run":"Пушти","settings.localEnvironments.actions.icon.test":"Тестирај","settings.localEnvironments.actions.icon.tool":"Алатка","settings.localEnvironments.actions.item.button.delete":"Избриши","settings.localEnvironments.actions.item.command":"Скрипта за дејство","settings.localEnvironments.actions.item.name":"Име","settings.localEnvironments.actions.item.platforms":"Платформи","settings.localEnvironments.actions.item.platforms.help":"Работи само на одреден оперативен систем.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Избор на платформа","settings.localEnvironments.actions.item.platforms.specific":"Специфично за платформата","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Избриши","settings.localEnvironments.actions.title":"Дејства","settings.localEnvironments.breadcrumb.back":"Назад","settings.localEnvironments.breadcrumb.edit":"уреди","settings.localEnvironments.breadcrumb.root":"Околини","settings.localEnvironments.environment.actions.description":"Овие дејства можат да извршат која било команда и ќе бидат прикажани во заглавието.","settings.localEnvironments.environment.actionsLabel":"Дејства","settings.localEnvironments.environment.create":"Креирај локална околина","settings.localEnvironments.environment.defaultName":"локална","settings.localEnvironments.environment.edit":"Уреди локална околина","settings.localEnvironments.environment.empty":"Сè уште не е конфигурирана локална околина за овој проект.","settings.localEnvironments.environment.name":"Име","settings.localEnvironments.environment.setup":"Скрипта за поставување","settings.localEnvironments.environment.setup.description":"Оваа скрипта ќе се извршува при креирање на работно дрво.","settings.localEnvironments.environment.setup.hint":"Работи во коренот на проектот.","settings.localEnvironments.environment.setup.platformOverrides":"Заменувања на платформата","settings.localEnvironments.environment.setup.platformOverrides.add":"Додај {platform} скрипта за поставување","settings.localEnvironments.environment.setup.platformOverrides.description":"Ја заменува стандардната скрипта за одредени оперативни системи.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Отстрани","settings.localEnvironments.environment.setup.script":"Скрипта","settings.localEnvironments.environment.title":"Детали за околина","settings.localEnvironments.file.missing":"Зачувај за да ја креираш оваа датотека за прв пат.","settings.localEnvironments.file.parseError":"Не може да се разложи постоечката датотека. Зачувувањето ќе ја презапише. ({error})","settings.localEnvironments.file.path":"Датотека: {path}","settings.localEnvironments.file.readError":"Не успеаја да се вчитаат податоците за локалната околина. ({error})","settings.localEnvironments.file.title":"Датотека за локална околина","settings.localEnvironments.loading.body":"Преземање на конфигурацијата на твојот проект.","settings.localEnvironments.loading.title":"Вчитување на локални околини","settings.localEnvironments.preview.devOnly":"(Само за развивачи)","settings.localEnvironments.preview.save":"Зачувај","settings.localEnvironments.preview.saveError":"Не успеа да се зачува датотеката. ({error})","settings.localEnvironments.preview.title":"Преглед","settings.localEnvironments.save.disabled.name":"Додај име на околина за да се зачува.","settings.localEnvironments.save.disabled.noChanges":"Нема промени што треба да се зачуваат.","settings.localEnvironments.save.disabled.saving":"Се зачувува…","settings.localEnvironments.save.success":"Зачувана локална околина","settings.localEnvironments.unavailable.body":"Не можевме да ги вчитаме поставките за локалната околина за овој проект.","settings.localEnvironments.unavailable.title":"Локалните околини се недостапни","settings.localEnvironments.workspace.add":"Додај проект","settings.localEnvironments.workspace.title":"Проект","settings.localEnvironments.workspaceSelect.addLabel":"Додај околина","settings.localEnvironments.workspaceSelect.description":"Локалните околини му кажуваат на Codex како да постави работни дрва за проект. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Сè уште нема проекти. Додај еден за да конфигурираш локални околини.","settings.localEnvironments.workspaceSelect.errorLabel":"На околината ѝ треба внимание","settings.localEnvironments.workspaceSelect.learnMore":"Дознај повеќе","settings.localEnvironments.workspaceSelect.listLabel":"Достапни проекти","settings.localEnvironments.workspaceSelect.loading":"Се вчитуваат проекти.","settings.localEnvironments.workspaceSelect.loadingLabel":"Вчитување на околина","settings.localEnvironments.workspaceSelect.title":"Избери проект","settings.localEnvironments.workspaceSelect.viewAction":"Види","settings.mcp.addServer":"Додај сервер","settings.mcp.app.configure":"Конфигурирај","settings.mcp.app.connect":"Поврзи се","settings.mcp.apps.refresh":"Освежи","settings.mcp.detail.addArgument":"Додај аргумент","settings.mcp.detail.addEnvVar":"Додај променлива на околината","settings.mcp.detail.addEnvVarPassthrough":"Додај променлива","settings.mcp.detail.args":"Аргументи","settings.mcp.detail.back":"Назад","settings.mcp.detail.command":"Команда за стартување","settings.mcp.detail.cwd":"Работен именик","settings.mcp.detail.docs":"Отвори MCP документација","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"Пропуст на променлива на околина","settings.mcp.detail.envVars":"Променливи на околината","settings.mcp.detail.http.addEnvHeader":"Додај променлива","settings.mcp.detail.http.addHeader":"Додај заглавие","settings.mcp.detail.http.bearerToken":"Променлива на околината на токен на носител","settings.mcp.detail.http.envHeaders":"Заглавија од променливи на околината","settings.mcp.detail.http.headers":"Заглавија","settings.mcp.detail.http.url":"URL-референца","settings.mcp.detail.name":"Име","settings.mcp.detail.save":"Зачувај","settings.mcp.detail.switchTransportNotice":"Ако сакаш да го промениш типот на MCP сервер, прво деинсталирај го.","settings.mcp.detail.titleExisting":"Ажурирај го {name} MCP","settings.mcp.detail.titleNew":"Поврзи на прилагоден MCP","settings.mcp.detail.transport.http":"HTTP што може да се пренесува","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Одинсталирај","settings.mcp.empty":"Нема поврзани прилагодени MCP сервери","settings.mcp.myServers":"Прилагодени сервери","settings.mcp.partnerServer.description.figma":"Генерирај подобар код со внесување на целосен контекст на Figma","settings.mcp.partnerServer.description.github":"Интегрирај со GitHub APIs за автоматизирање на работните процеси и извлекување податоци","settings.mcp.partnerServer.description.linear":"Интегрирај со следењето на проблеми и управувањето со проекти на Linear","settings.mcp.partnerServer.description.notion":"Читај документи, ажурирај страници, управувај со задачи","settings.mcp.partnerServer.description.playwright":"Интегрирај автоматизација на прелистувачот за да имплементираш дизајн и тестирање на кориснички интерфејс.","settings.mcp.partnerServer.install":"Инсталирај","settings.mcp.partnerServer.installAndAuthenticate":"Инсталирај и автентицирај","settings.mcp.partnerServer.logoAlt":"Лого на {label}","settings.mcp.partnerServer.manage":"Управувај","settings.mcp.partnerServer.vendor":"од {vendor}","settings.mcp.recommendedServers":"Препорачани сервери","settings.mcp.restartApp":"Рестартирај","settings.mcp.restartExtension":"Рестартирај проширување","settings.mcp.server.enable":"Овозможи","settings.mcp.server.login":"Автентицирај","settings.mcp.server.settings":"Поставки","settings.multiselect.createOption":"Креирај „{value}“","settings.multiselect.removeOption":"Отстрани","settings.nav.account":"Сметка","settings.nav.agent":"Конфигурација","settings.nav.ariaLabel":"Поставки","settings.nav.back":"Назад кон апликацијата","settings.nav.data-controls":"Архивирани нишки","settings.nav.environments":"Околини на облак","settings.nav.externalTooltip":"[alpha] Се отвора во прелистувач","settings.nav.general-settings":"Општо","settings.nav.git-settings":"Git","settings.nav.local-environments":"Околини","settings.nav.mcp-settings":"MCP-сервери","settings.nav.notImplemented":"[alpha] Недостапно во Alpha","settings.nav.personalization":"Персонализација","settings.nav.skills-settings":"Вештини","settings.nav.usage-analytics":"Користење и аналитика","settings.nav.worktrees":"Работни дрва","settings.openSourceLicenses.back":"Назад","settings.openSourceLicenses.loading":"Се вчитува…","settings.openSourceLicenses.missing":"Не се најдени известувања од трети лица.","settings.openSourceLicenses.notSupported":"Недостапно во овој домаќин","settings.openSourceLicenses.rowDescription":"Известувања од трети лица за поврзани зависности ","settings.openSourceLicenses.rowLabel":"Лиценци со отворен извор","settings.openSourceLicenses.subtitle":"Известувања од трети лица за зависности вклучени во оваа апликација","settings.openSourceLicenses.title":"Лиценци со отворен извор","settings.openSourceLicenses.view":"Види","settings.personalization.agents.description":"Уредувај упатства што го прилагодуваат Codex на тебе. {learnMore}","settings.personalization.agents.learnMore":"Дознај повеќе","settings.personalization.agents.loadError":"Не може да се вчита agents.md.","settings.personalization.agents.loading":"Се вчитува agents.md…","settings.personalization.agents.placeholder":"Додај твои прилагодени упатства…","settings.personalization.agents.retry":"Обиди се повторно","settings.personalization.agents.save":"Зачувај","settings.personalization.agents.save.error":"Не може да се зачува agents.md","settings.personalization.agents.save.success":"Зачувано agents.md","settings.personalization.agents.title":"Прилагодени упатства","settings.personalization.personality.description":"Избери стандарден тон за одговорите на Codex","settings.personalization.personality.label":"Карактер","settings.sample.contentBody":"Користи го овој распоред за да ги составиш панелите со поставки со конзистентно растојание.","settings.sample.contentTitle":"Примерок блок со содржина","settings.section.account":"Сметка","settings.section.agent":"Конфигурација","settings.section.data-controls":"Архивирани нишки","settings.section.environments":"Околини на облак","settings.section.external":"Се отвора во твојот прелистувач за време на Alpha","settings.section.general-settings":"Општо","settings.section.git-settings":"Git","settings.section.local-environments":"Околини","settings.section.mcp-settings":"MCP-сервери","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"Поврзи надворешни алатки и извори на податоци.","settings.section.personalization":"Персонализација","settings.section.skills-settings":"Вештини","settings.section.unavailable":"Сè уште не е достапно во Alpha","settings.section.usage-analytics":"Користење и аналитика","settings.section.worktrees":"Работни дрва","settings.threadDetail.description":"Избери колку резултат од командата да се прикаже во нишките","settings.threadDetail.label":"Детали од нишка","settings.worktrees.conversation.untitled":"Разговор без наслов","settings.worktrees.delete.error":"Неуспешно бришење на работното дрво","settings.worktrees.empty.body":"Работните дрва креирани од Codex ќе се појават тука.","settings.worktrees.empty.title":"Сè уште нема работни дрва","settings.worktrees.error.body":"Нешто тргна наопаку при вчитувањето на работните дрва.","settings.worktrees.error.retry":"Обиди се повторно","settings.worktrees.error.title":"Не може да се вчитаат работните дрва","settings.worktrees.loading.body":"Се преземаат деталите за работното дрво.","settings.worktrees.loading.title":"Вчитување на работни дрва","settings.worktrees.repository.loading":"Вчитување на метаподатоците од складиштето…","settings.worktrees.repository.unknown":"Непознато складиште","settings.worktrees.row.conversations":"Разговори","settings.worktrees.row.conversations.empty":"Нема разговори поврзани со ова работно дрво.","settings.worktrees.row.conversations.loading":"Вчитување на разговорите…","settings.worktrees.row.delete":"Избриши","settings.worktrees.row.title":"Работно дрво","sidebarElectron.addWorkspaceRoot":"Додај нов проект","sidebarElectron.archiveThread":"Архивирај нишка","sidebarElectron.archiveThreadError":"Неуспешно архивирање на нишката","sidebarElectron.collapseFolder":"Сокриј папка","sidebarElectron.createStableWorktree.dialog.cancel":"Откажи","sidebarElectron.createStableWorktree.dialog.create":"Креирај","sidebarElectron.debugNavLink":"Отстрани ги грешките","sidebarElectron.editWorkspaceRootOptionName":"Уреди име","sidebarElectron.expandFolder":"Прошири папка","sidebarElectron.groupByMenu.recency":"Хронолошка листа","sidebarElectron.groupByMenu.title":"Организирај","sidebarElectron.groupByMenu.workspace":"По проект","sidebarElectron.inboxRouteNavLink":"Автоматизации","sidebarElectron.markThreadUnread":"Означи како непрочитано","sidebarElectron.missingWorkspaceRoot":"Оваа папка на проектот беше избришана или преместена","sidebarElectron.newThread":"Нова нишка","sidebarElectron.newThreadInGroup":"Почни нова нишка во {folder}","sidebarElectron.noRecentThreads":"Нема неодамнешни теми","sidebarElectron.noTasks":"Нема нишки","sidebarElectron.noTasks.start":"Додај нов проект","sidebarElectron.noTasksWithFilter":"Нема нишки што се совпаѓаат со филтрите","sidebarElectron.pinnedThreads":"Означени нишки","sidebarElectron.recentNavLink":"Threads","sidebarElectron.recentThreads":"Неодамнешни теми","sidebarElectron.removeWorkspaceRootOption":"Отстрани","sidebarElectron.renameThread":"Преименувај нишка","sidebarElectron.renameThreadDialogAriaLabel":"Наслов на нишката","sidebarElectron.renameThreadDialogCancel":"Откажи","sidebarElectron.renameThreadDialogPlaceholder":"Додај наслов…","sidebarElectron.renameThreadDialogSave":"Зачувај","sidebarElectron.renameThreadDialogSubtitle":"Нека е кратко и препознатливо.","sidebarElectron.renameThreadDialogTitle":"Преименувај нишка","sidebarElectron.renameThreadError":"Неуспешно преименување на нишката","sidebarElectron.renameWorkspaceRootOptionLabel":"Прикажи име","sidebarElectron.showLess":"Прикажи помалку","sidebarElectron.showMenu.all":"Сите нишки","sidebarElectron.showMenu.relevant":"Важно","sidebarElectron.showMenu.relevantHint":"Прикажи ги само неодамнешните нишки за сегашните гранка, работни дрва, или други нишки на кои треба да им посветиш внимание","sidebarElectron.showMenu.title":"Прикажи","sidebarElectron.showMenu.tooltip":"Филтрирај, сортирај и организирај нишки","sidebarElectron.showMenu.trigger":"Филтрирај нишки на странична лента","sidebarElectron.showMore":"Прикажи повеќе","sidebarElectron.skillsRouteNavLink":"Вештини","sidebarElectron.sortMenu.created":"Креирано","sidebarElectron.sortMenu.title":"Сортирај по","sidebarElectron.sortMenu.updated":"Ажуриран","sidebarElectron.taskNavigation":"Папки за автоматизација","sidebarElectron.tasksInFolder":"Автоматизации во {folder}","sidebarElectron.workspaceOptions":"Проектни дејства за {folder}","sidebarElectron.worktreeGroupTooltip":"Ова е работно дрво на git","skills.appsPage.createSkill":"Нова вештина","skills.appsPage.empty.skills":"Не се пронајдени вештини","skills.appsPage.search.skills":"Пребарај вештини","skills.appsPage.search.skills.label":"Пребарај вештини","skills.appsPage.section.installedApps":"Инсталирано","skills.appsPage.section.skills":"Вештини","skills.appsPage.subheading":"Дај му на Codex супермоќи.<link>Дознај повеќе</link>","skills.appsPage.tab.recommended":"Препорачано","skills.appsPage.tab.skills":"Вештини","skills.card.contentsError":"Не може да се вчита содржината на вештината.","skills.card.disable":"Оневозможи","skills.card.disableSuccess":"{skillName} вештина е оневозможена","skills.card.disabledBadge":"Оневозможено","skills.card.enable":"Овозможи","skills.card.enableSuccess":"{skillName} вештина е овозможена","skills.card.loadingContents":"Вчитување на содржината на вештината...","skills.card.more":"Повеќе дејства","skills.card.open":"Отвори","skills.card.removeFailed":"Неуспешно одинсталирање на вештината","skills.card.removeSuccess":"{skillName} вештина е одинсталирана","skills.card.toggleEnabledError":"Неуспешно ажурирање на вештината","skills.card.try":"Пробај","skills.card.trySkill":"Пробај вештина","skills.card.uninstall":"Одинсталирај","skills.hero.dotLabel":"Оди на слајд {index}","skills.hero.next":"Следна истакната вештина","skills.hero.trySkill":"Пробај вештина","skills.page.createSkill":"Нова вештина","skills.page.empty":"Не се пронајдени вештини","skills.page.filteredEmpty":"Нема вештини што одговараат на твоите филтри","skills.page.filteredEmptyDescription":"Пробај да ги прилагодиш филтрите за пребарување или опсег","skills.page.heading":"Вештини","skills.page.loading":"Вчитување на вештини...","skills.page.refreshSkills":"Освежи","skills.page.refreshSkillsToUseNew":"Освежи за да користиш нови вештини","skills.page.search":"Пребарај вештини","skills.page.search.label":"Пребарај вештини","skills.page.subheading":"Дај му на Codex супермоќи.<link>Дознај повеќе</link>","skills.preview.copyPrompt":"Копирај барање","skills.preview.examplePrompt":"Пример промпт","skills.recommended.error":"Не може да се вчитаат препорачаните вештини","skills.recommended.install":"Инсталирај","skills.recommended.installSkill":"Инсталирај вештина","skills.recommended.installSuccess":"{skillName} вештина е инсталирана","skills.recommended.installed":"Инсталирано","skills.scope.admin":"Админ","skills.scope.adminInstalled":"Инсталирано од админ","skills.scope.builtIn":"Систем","skills.scope.personal":"Лично","skills.scope.repo":"Складиште","skills.scope.system":"Систем","skills.scope.team":"Тим","skills.scope.user":"Корисник","skills.section.installed":"Инсталирано","skills.section.recommended":"Препорачано","story.slidingToggle.existing":"Постоечка","story.slidingToggle.fromLocal":"Од локално","story.slidingToggle.new":"Ново","story.slidingToggle.toLocal":"До локално","terminal.close":"Затвори терминал","terminal.title":"Терминал","thinkingShimmer.default":"Размислува","threadEnvIcon.cloudTooltip":"Овој разговор се одвива во Codex Cloud.","threadEnvIcon.localTooltip":"Овој разговор се одвива локално.","threadEnvIcon.worktreeTooltip":"Овој разговор се извршува во локално работно дрво на git.","threadHeader.archiveConfirmCancel":"Откажи","threadHeader.archiveConfirmConfirm":"Архивирај","threadHeader.archiveConfirmSubtitle":"Можеш да ја најдеш подоцна во твоите архивирани нишки.","threadHeader.archiveConfirmTitle":"Архивирај нишка?","threadHeader.copyAppLink":"Копирај длабок линк","threadHeader.copySessionId":"Копирај ID на сесија","threadHeader.copyWorkingDirectory":"Копирај работен директориум","threadHeader.forkIntoLocal":"Разграни во локално","threadHeader.forkIntoWorktree":"Разграни во ново работно дрво","threadHeader.forkPendingWorktreePrompt":"Разграни го овој разговор во ново работно дрво.","threadHeader.forkPendingWorktreeTitle":"Разграни разговор","threadHeader.forkThreadError":"Неуспешно разгранување на задачата","threadHeader.forkThreadRequiresGitRepo":"За да се разграни во ново работно дрво потребно е git складиште","threadHeader.moreActions":"Дејства на нишка","threadPage.newThread":"Нова нишка","threadPage.runAction.changeEnvironment":"Промени ја околината","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} дејства","threadPage.runAction.environmentSelector.label":"Избери околина","threadPage.runAction.label":"Изврши","threadPage.runAction.missing.label":"Постави дејство за извршување","threadPage.runAction.setup.commandLabel":"Команда за извршување","threadPage.runAction.setup.description":"Кажи му на Codex како да инсталира зависности и да ја стартува твојата апликација.","threadPage.runAction.setup.editMore":"Поставки за околината","threadPage.runAction.setup.placeholder":"На пр.: npm install npm run","threadPage.runAction.setup.submit":"Зачувај и изврши","threadPage.runAction.setup.title":"Изврши","threadPage.runAction.tooltip.withEnvironment":"{environmentName} дејства","threadPage.toggleDiffPanel":"Вклучи/исклучи панел за разлики","threadPage.toggleTerminal":"Вклучи/исклучи терминал","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Отвори папка","toolSummaryForCmd.exploredFiles":"<verb>Наведени </verb> датотеки","toolSummaryForCmd.exploredFilesInPath":"<verb>Наведени</verb> датотеки во {path}","toolSummaryForCmd.exploringFiles":"<verb>Се наведуваат</verb> датотеки","toolSummaryForCmd.exploringFilesInPath":"<verb>Се наведуваат</verb> датотеки во {path}","toolSummaryForCmd.ranGenericCommand":"<status>Командата е извршена</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Извршено</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Прочитај</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Командата се извршува</status>{timer}","toolSummaryForCmd.runningTimer":"за {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Пребарано</verb> за {query}","toolSummaryForCmd.searchedForFiles":"<verb>Пребарано</verb> за датотеки","toolSummaryForCmd.searchedForInPath":"<verb>Пребарано</verb> за {query} во {path}","toolSummaryForCmd.searchingFor":"<verb>Се пребарува</verb> за {query}","toolSummaryForCmd.searchingForFiles":"<verb>Се пребарува</verb> за датотеки","toolSummaryForCmd.searchingForInPath":"<verb>Се пребарува</verb> за {query} во {path}","traceRecording.details.noteLabel":"Што правеше кога се случи ова? (опционално)","traceRecording.details.notePlaceholder":"Се движев на голема нишка, потоа постојано менував јазичиња…","traceRecording.details.submit":"Испрати трага","traceRecording.details.subtitle":"Можеме да ја испратиме оваа трага на профилот за да помогнеме во дијагностицирање на проблеми со перформансите.","traceRecording.details.title":"Испрати трага од профил?","traceRecording.progress.subtitle":"Држи го Codex отворен додека ова заврши.","traceRecording.saving.title":"Се зачувува трагата…","traceRecording.startDetails.cancel":"Откажи","traceRecording.startDetails.submit":"Во ред, почни со снимање","traceRecording.startDetails.subtitle":"Откако ќе кликнеш на ОК, репродуцирај го проблемот со перформансите, а потоа кликни на лебдечкиот црвен индикатор за да запреш и да ја прегледаш трагата.","traceRecording.startDetails.title":"Како функционира снимањето на траги","traceRecording.stopButton.ariaLabel":"Запри снимање на траги","traceRecording.upload.successToast":"Испратена е трага од профилот.","traceRecording.uploading.title":"Се прикачува трагата…","wham.diff.addComment":"Додај коментар","wham.diff.binaryFile":"Бинарната датотека не е прикажана","wham.diff.noContent":"Нема содржина","wham.fileTag.deleted":"Избришано","wham.fileTag.new":"Ново","wham.formattedRelativeDateTime.compactDaysAgo":"{value} денa","wham.formattedRelativeDateTime.compactHoursAgo":"{value} часа","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} минути","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} мес.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} нед.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} г.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Се работи на твојата задача","wham.whamProposedTask.title":"Предложена задача","wham.whamProposedTask.useSuggestion":"Користи предлог","workspaceRootDialog.addError":"Неуспешно додавање на проектот","workspaceRootDialog.cancel":"Откажи","workspaceRootDialog.confirmAdd":"Додај проект","workspaceRootDialog.confirmPick":"Користи проект","workspaceRootDialog.description":"Внеси патека на {host} да се користи како проект.","workspaceRootDialog.pathLabel":"Патека на проект","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Додај патека на проект","workspaceRootDialog.title.pick":"Избери патека на проект","worktreeInitV2.cancel":"Откажи","worktreeInitV2.notification.failedTitle":"Поставувањето на работното дрво не успеа","worktreeInitV2.output.empty":"Чекање резултат…","worktreeInitV2.status.error":"Поставувањето на работното дрво не успеа.","worktreeInitV2.status.running":"Креирање на работно дрво и извршување на поставувањето.","worktreeInitV2.status.runningFork":"Креирање на работно дрво за разгранување на овој разговор.","worktreeInitV2.status.success":"Работно дрво подготвено.","worktreeInitV2.title":"Креирање работно дрво","worktreeInitV2.workLocallyInstead":"Наместо тоа работи локално","worktreeRestoreBanner.body":"Работното дрво во оваа нишка беше отстрането за да се зачува простор во дискот","worktreeRestoreBanner.missing.body":"Работниот именик на оваа нишка веќе не постои","worktreeRestoreBanner.missing.title":"Недостасува тековниот работен именик","worktreeRestoreBanner.restore.error":"Неуспешно обновување на работното дрво: {message}","worktreeRestoreBanner.restore.success":"Работното дрво е обновено","worktreeRestoreBanner.restoreCta":"Обнови го работното дрво","worktreeRestoreBanner.title":"Работното дрво е исчистено"};export{e as default};
+const e={"CopyButton.copyTooltip":"Копирај","app.sidebar.hide":"Сокриј странична лента","app.sidebar.show":"Прикажи странична лента","app.sidebar.tooltip":"Вклучи/исклучи странична лента","appHeader.installUpdate":"Ажурирај","appSunset.body":"Оваа верзија на апликацијата веќе не е поддржана. Преземи ја најновата верзија <here>овде</here>.","appSunset.title":"Потребно е ажурирање","automation.updateDirective.create":"Креирај","automation.updateDirective.open":"Отвори","automation.updateDirective.untitled":"Автоматизација без наслов","automation.updateDirective.update":"Ажурирај","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# обид} other {# обиди}}","cloudTaskRow.archiveError":"Не успеа да се архивира задачата","code.diff.requestChange":"Промена на барање","code.diffComment.cancel":"Откажи","code.diffComment.comment":"Коментар","code.diffComment.delete":"Избриши","code.diffComment.save":"Зачувај","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Не се пријавени наоди.","codex.alert.closeAriaLabel":"Затвори","codex.appUpsellBanner.cbpApi.message":"Гради побрзо со апликацијата Codex. Преземи сега или {learnMoreLink}.","codex.appUpsellBanner.download":"Преземи","codex.appUpsellBanner.freeGo.message":"Codex е вклучен во твојот план до 2 март. Испробај ја апликацијата Codex за побрзо градење.","codex.appUpsellBanner.later":"Подоцна","codex.appUpsellBanner.learnMoreLowercase":"дознај повеќе","codex.appUpsellBanner.new":"Ново","codex.appUpsellBanner.proPlusBusiness.message":"Испробај ја апликацијата Codex со 2x ограничувања до 2 април. Преземи сега или {learnMoreLink}.","codex.appUpsellBanner.title":"Апликација Codex","codex.applyDropdown.header.changes":"Промени","codex.applyDropdown.header.fileCount":"{count, plural, one {# датотека} other {# датотеки}}","codex.applyDropdown.header.rows":"редови","codex.applyDropdown.header.title":"Примени промени","codex.applyDropdown.header.workspace":"Проект","codex.applyDropdown.results.conflicted":"{count, plural, one {1 датотека во конфликт:} other {{count} датотеки во конфликт:}}","codex.applyDropdown.results.empty":"Не се копирани датотеки","codex.applyDropdown.results.skipped":"{count, plural, one {1 прескокната датотека:} other {{count} прескокнати датотеки}}","codex.applyOrRevertBanner.apply":"Примени","codex.applyOrRevertBanner.applyMessage":"Да се применат промените и да се продолжи локално?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Оваа задача е направена во {environment}, па затоа може да не се примени чисто.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Промените направени во {environment} може да не се применат чисто.","codex.applyOrRevertBanner.reapply":"Повторно аплицирај","codex.applyOrRevertBanner.revert":"Врати","codex.applyOrRevertBanner.revertMessage":"Да се вратат применетите промени?","codex.applyResultsDialog.applied":"Применети чисти ({count})","codex.applyResultsDialog.close":"Затвори","codex.applyResultsDialog.conflicted":"Конфликтни ({count})","codex.applyResultsDialog.noDetails":"Нема достапни детали за датотеката.","codex.applyResultsDialog.skipped":"Прескокнати ({count})","codex.applyResultsDialog.title":"Примени ги резултатите","codex.archiveInfo":"Види архивирани разговори во {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Контроли на податоци","codex.archiveInfo.electron":"Види архивирани разговори во {settingsLink}","codex.archiveInfo.extension":"Прегледај ги архивираните разговори во твојата папка .codex.","codex.archiveInfo.settingsLink":"Поставки","codex.banner.content.description":"Извршувај задачи паралелно, следи го напредокот насекаде и прегледувај ги барањата за повлекување со вештачка интелигенција.","codex.banner.content.headline":"Codex го прави сето тоа.","codex.cloudTaskRow.archiveTask":"Архивирај задача","codex.cloudTaskRow.confirmArchiveTask":"Потврди","codex.command.feedback":"Повратни информации","codex.command.findInThread":"Најди","codex.command.forceReloadSkills":"Присили повторно вчитување на вештини","codex.command.logOut":"Одјави се","codex.command.manageTasks":"Управувај со задачите","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Назад","codex.command.navigateForward":"Напред","codex.command.newThread":"Нова нишка","codex.command.nextThread":"Следна нишка","codex.command.openFolder":"Отвори папка","codex.command.openSkills":"Оди на вештини","codex.command.openThreadOverlay":"Прикажи ја нишката","codex.command.personalitySettings":"Карактер","codex.command.previousThread":"Претходна нишка","codex.command.settings":"Поставки","codex.command.toggleDiffPanel":"Вклучи/исклучи панел за разлики","codex.command.toggleSidebar":"Вклучи/исклучи странична лента","codex.command.toggleTerminal":"Вклучи/исклучи терминал","codex.commandGroup.app":"Апликација","codex.commandGroup.configure":"Конфигурирај","codex.commandGroup.navigation":"Навигација","codex.commandGroup.panels":"Панели","codex.commandGroup.skills":"Вештини","codex.commandGroup.thread":"Нишка","codex.commandGroup.workspace":"Проект","codex.commandMenu.noResults":"Нема совпаѓања","codex.commandMenu.searchPlaceholder":"Пребарај команди","codex.commandMenu.suggestedGroup":"Предложено","codex.commandMenu.switchWorkspace":"Смени проект","codex.commandMenu.title":"Мени со команди","codex.common.retry":"Обиди се повторно","codex.composer.searchBranches":"Пребарај гранки","codex.dialog.basic.body":"Ова е едноставен модален дијалог што го користи нашиот обвивач околу Radix Dialog.","codex.dialog.basic.cancel":"Откажи","codex.dialog.basic.confirm":"Потврди","codex.dialog.basic.open":"Отвори дијалог","codex.dialog.basic.title":"Примерок на дијалог","codex.dialog.long.close":"Затвори","codex.dialog.long.line":"Линија {index} што може да се лизга за да се прикаже долга содржина во дијалогот.","codex.dialog.long.open":"Отвори долг дијалог","codex.dialog.long.title":"Долг дијалог за содржина","codex.dialog.unstyled.body":"Оваа приказна покажува како повикувачите може целосно да го контролираат стилот на содржината на дијалогот.","codex.dialog.unstyled.open":"Отвори нестилизиран дијалог","codex.dialog.unstyled.title":"Нестилизирана содржина","codex.diff.openInEditorPrompt.openButton":"Отвори во уредувач","codex.diff.openInEditorPrompt.singleLine":"Оваа датотека е преголема за да се прикаже тука.","codex.diffView.failedToDecodeBase64Diff":"Не успеа да се декодира разликата на base64","codex.diffView.filesChanged":"{fileCount, plural, one {# променета датотека} other {# променети датотеки}}","codex.diffView.imagePreviewAlt":"Преглед на слика","codex.diffView.imagePreviewEmpty":"Нема слика","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Нема различни податоци","codex.diffView.pdfPreview.nextPage":"Следна страница","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Претходна страница","codex.diffView.pdfPreviewEmpty":"Нема преглед на PDF","codex.diffView.pdfPreviewError":"Не може да се прикаже прегледот на PDF","codex.diffView.richPreviewDisable":"Оневозможи богат преглед","codex.diffView.richPreviewEnable":"Овозможи богат преглед","codex.diffView.richPreviewLoading":"Вчитување на прегледот…","codex.diffView.richPreviewToggle":"Вклучи/исклучи богат преглед","codex.diffView.switchToUnified":"Префрли на унифицирана разлика","codex.environmentSelector.noEnvironment":"Нема околина","codex.environments.environmentSettings":"Поставки за околината","codex.environments.learnMore":"Дознај повеќе","codex.environments.listError":"Не успеа да се вчитаат околините.","codex.environments.noEnvironmentsFound":"Нема пронајдени околини","codex.environments.searchError":"Не успеа да се пребаруваат околините.","codex.errorBoundary.genericError":"Упс, се појави грешка","codex.errorBoundary.goHome":"Обиди се повторно","codex.file.patch.missing":"Не може да се изгради лепенка за оваа датотека.","codex.gallery.automations.cwdLabel":"Проекти","codex.gallery.automations.nameLabel":"Име","codex.gallery.automations.namePlaceholder":"Резимирај задача","codex.gallery.automations.promptLabel":"Промпт","codex.gallery.automations.promptPlaceholder":"Опиши што треба Codex да прави ","codex.gallery.dialogs.automation.label":"Дијалог за автоматизација","codex.gallery.dialogs.basic.body":"Користи го овој распоред за јасни потврди или кратки форми.","codex.gallery.dialogs.basic.cancel":"Откажи","codex.gallery.dialogs.basic.confirm":"Потврди","codex.gallery.dialogs.basic.label":"Основен дијалог","codex.gallery.dialogs.basic.title":"Примерок на дијалог","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Опиши го проблемот","codex.gallery.dialogs.feedbackSubmission.bad":"Лош резултат","codex.gallery.dialogs.feedbackSubmission.bug":"Грешка","codex.gallery.dialogs.feedbackSubmission.good":"Добар резултат","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Вклучи ги тековните дневници на сесиите на Codex","codex.gallery.dialogs.feedbackSubmission.label":"Поднесување повратни информации","codex.gallery.dialogs.feedbackSubmission.other":"Друго","codex.gallery.dialogs.feedbackSubmission.placeholder":"Опиши го проблемот овде","codex.gallery.dialogs.feedbackSubmission.submit":"Поднеси","codex.gallery.dialogs.feedbackSubmission.title":"Повратни информации","codex.gallery.dialogs.feedbackSuccess.body":"Повратните информации се поставени. Ако проблемот продолжи, отвори прашање во GitHub или спомени го ID на нишката во некое отворено прашање:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Отфрли","codex.gallery.dialogs.feedbackSuccess.label":"Успешни повратни информации","codex.gallery.dialogs.feedbackSuccess.title":"Повратните информации се поставени","codex.gallery.dialogs.gitApplyResults.applied":"Применети чисто (2)","codex.gallery.dialogs.gitApplyResults.close":"Затвори","codex.gallery.dialogs.gitApplyResults.conflicted":"Конфликтни (1)","codex.gallery.dialogs.gitApplyResults.label":"Примени ги резултатите","codex.gallery.dialogs.gitApplyResults.title":"Примени ги резултатите","codex.gallery.dialogs.gitPushError.body":"Повлечи ги најновите промени или присили замена ако знаеш дека далечинската историјата може безбедно да се презапише.","codex.gallery.dialogs.gitPushError.cancel":"Откажи","codex.gallery.dialogs.gitPushError.force":"Присили притискање","codex.gallery.dialogs.gitPushError.label":"Грешка при замената","codex.gallery.dialogs.gitPushError.subtitle":"Твојата гранка заостанува зад изворната/главната.","codex.gallery.dialogs.gitPushError.title":"Неуспешно притискање на промените","codex.gallery.dialogs.gitRevert.cancel":"Откажи","codex.gallery.dialogs.gitRevert.confirm":"Врати","codex.gallery.dialogs.gitRevert.label":"Врати промени","codex.gallery.dialogs.gitRevert.skip":"Не прашувај пак","codex.gallery.dialogs.gitRevert.subtitle":"Ова дејство ги отстранува сите овие промени.","codex.gallery.dialogs.gitRevert.title":"Врати промени?","codex.gallery.dialogs.longForm.label":"Дијалог за долга форма","codex.gallery.dialogs.proseModal.body":"Овој стил на модал се користи за подолги инструкции, вклучување или блокови со богата содржина. ","codex.gallery.dialogs.proseModal.close":"Затвори","codex.gallery.dialogs.proseModal.subtitle":"Сподели насоки во подолга форма или документ тука.","codex.gallery.dialogs.proseModal.title":"Прозен модал","codex.gallery.dialogs.submitBlocked.label":"Поднесувањето е блокирано","codex.gallery.dialogs.submitBlocked.message":"Твојата порака не можеше да се прати бидејќи проектот не е достапен.","codex.gallery.dialogs.submitBlocked.ok":"Во ред","codex.gallery.dialogs.submitBlocked.title":"Не може да се испрати пораката","codex.gallery.dialogs.title":"Дијалози","codex.gallery.dropdown.filterPlaceholder":"Филтрирај ставки","codex.gallery.dropdowns.actionRow":"Редови за дејство","codex.gallery.dropdowns.actionRow.disabled":"Оневозможено дејство","codex.gallery.dropdowns.actionRow.primary":"Примарно дејство","codex.gallery.dropdowns.actionRow.secondary":"Секундарно дејство","codex.gallery.dropdowns.actionRow.trigger":"Прикажи дејства","codex.gallery.dropdowns.basic":"Основно паѓачко мени","codex.gallery.dropdowns.basic.newFile":"Нова датотека","codex.gallery.dropdowns.basic.newFolder":"Нова папка","codex.gallery.dropdowns.basic.openSettings":"Отвори поставки","codex.gallery.dropdowns.basic.title":"Брзи дејства","codex.gallery.dropdowns.basic.trigger":"Отвори го менито","codex.gallery.dropdowns.basic.upload":"Постави","codex.gallery.dropdowns.panel":"Површина на табла","codex.gallery.dropdowns.panel.apply":"Примени","codex.gallery.dropdowns.panel.body":"Прегледај ги разликите и примени ги на твојот проект.","codex.gallery.dropdowns.panel.preview":"Преглед","codex.gallery.dropdowns.panel.title":"Примени промени","codex.gallery.dropdowns.panel.trigger":"Отвори табла","codex.gallery.dropdowns.search":"Пребарливо паѓачко мени","codex.gallery.dropdowns.search.first":"Канал Alpha","codex.gallery.dropdowns.search.second":"Гранка Beta ","codex.gallery.dropdowns.search.third":"Кандидат за ослободување","codex.gallery.dropdowns.search.trigger":"Филтрирај ставки","codex.gallery.dropdowns.submenu":"Паѓачко мени со подменија","codex.gallery.dropdowns.submenu.optionA":"Проект alpha","codex.gallery.dropdowns.submenu.optionB":"Проект beta","codex.gallery.dropdowns.submenu.optionC":"Проект gamma","codex.gallery.dropdowns.submenu.primary":"Назначи сопственик","codex.gallery.dropdowns.submenu.secondary":"Премести во","codex.gallery.dropdowns.submenu.tertiary":"Архивирај","codex.gallery.dropdowns.submenu.trigger":"Избери дејство","codex.gallery.dropdowns.title":"Паѓачки менија","codex.gallery.inbox.automations.close":"Затвори","codex.gallery.inbox.automations.popover.cardTitle":"Управувај со автоматизации","codex.gallery.inbox.automations.popover.dialogTitle":"Управувај со автоматизации","codex.header.settingsTooltip":"Поставки","codex.hunk.patch.error":"Не успеа да се подготви","codex.hunk.patch.missing":"Не може да се изгради лепенка за овој дел.","codex.hunk.patch.partialSuccess":"Делумен успех.","codex.hunk.patch.revertError":"Не успеа да се откаже подготовка","codex.hunk.patch.revertSuccess":"Успешно е откажана подготовка","codex.hunk.patch.success":"Успешно е подготвено","codex.legal.autonomy.details":"За повеќе детали, види {link}","codex.legal.autonomy.details.link":"Документи на Codex","codex.legal.autonomy.title":"Одлучи колку автономија сакаш да доделиш","codex.legal.backButton":"Назад","codex.legal.cloud.taskOne.meta":"openai/agi · 12 октомври","codex.legal.cloud.taskOne.title":"Објасни го складиштето на нов дизајнер","codex.legal.cloud.taskThree.meta":"openai/codex · 8 октомври","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Креирај тема за темен режим","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 октомври","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Поправи грешка при вклучување","codex.legal.continue.apikey":"Продолжи","codex.legal.continueButton":"Следно","codex.legal.copilot.details":"Го користи твојот Copilot план за сите модел повици, наплата и ограничувања на цените. Користењето на екстензијата на Codex е предмет и на {oaiTos} и на {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Услови за користење на GitHub","codex.legal.copilot.oaiTosLink":"Услови за користење на OpenAI Codex","codex.legal.copilot.title":"Овозможено од GitHub Copilot","codex.legal.mistakes.review":"Прегледај го кодот што го пишува и командите што ги извршува","codex.legal.mistakes.title":"Codex може да направи грешки","codex.legal.powered.details":"Ги користи ограничувањата на цените на твојот план и {link}","codex.legal.powered.details.link":"претпочитања за податоци за обука","codex.legal.powered.title":"Овозможено од твојата сметка на ChatGPT","codex.legal.step.cloud.subtitle":"Испраќај задачи до Codex за да работат во позадина за да можеш да останеш фокусиран и да се движиш побрзо.","codex.legal.step.cloud.title":"Предај на Codex во облакот","codex.legal.step.intro.subtitle":"Codex навигира, уредува, извршува команди и извршува тестови директно во твоето складиште. Овозможено од твојата сметка на ChatGPT.","codex.legal.step.intro.title":"Codex во твојата IDE","codex.legal.step.todo.subtitle":"Напиши коментар за TODO и конвертирај го во задача на Codex со еден клик.","codex.legal.step.todo.title":"Претвори ги TODOs во задачи на Codex","codex.legal.todo.heading":"// TODO: имплементирање на шема","codex.localConversation.closeImagePreview":"Затвори го прегледот на сликата","codex.localConversation.userImageAttachment":"Прилог на корисник","codex.localTaskRow.archiveTask":"Архивирај нишка","codex.localTaskRow.awaitingApproval":"Се чека одобрување","codex.localTaskRow.awaitingResponse":"Се чека одговор","codex.localTaskRow.confirmArchiveTask":"Потврди","codex.loggedOut.apiKeyPrompt.cancel":"Откажи","codex.loggedOut.apiKeyPrompt.confirm":"Во ред","codex.loggedOut.apiKeyPrompt.getKey":"Добиј API клуч","codex.loggedOut.apiKeyPrompt.inputLabel":"Внеси го твојот API клуч на OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Задачите на облак се оневозможени со API клуч","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Задачите на облак се оневозможени со Copilot и API клуч","codex.loggedOut.signIn":"Најави се со ChatGPT","codex.loggedOut.signIn.cancel":"Откажи најавување","codex.loggedOut.signInWithCopilot":"Најави се со GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Користи API клуч","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} алатка","codex.mcpTool.collapsedLabel.verb.called":"Повикани","codex.mcpTool.collapsedLabel.verb.calling":"Се повикува","codex.mcpTool.embeddedResource.contentLabel":"Содржина","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME тип","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Алатката не врати содржина","codex.mcpTool.rawPayloadHeading":"Необработени {server}.{tool} информации од повик на алатка","codex.menu.recent":"Неодамнешни","codex.menu.seeAllHistory":"Види ја целата историја","codex.modelCapacityBanner.headline.noReset":"{modelName} е моментално пополнето. Обиди се повторно подоцна или почни нов разговор со друг модел.","codex.modelCapacityBanner.headline.withReset":"{modelName} е моментално пополнето. Обиди се повторно по {resetDate} или почни нов разговор со друг модел.","codex.modelCapacityBanner.title":"Избраниот модел е пополнет","codex.patch.change.contentsDeleted":"Содржината е избришана","codex.patch.change.created":"Креирано","codex.patch.change.created-file":"Креирана датотека","codex.patch.change.creating":"Се креира","codex.patch.change.deleted":"Избришано","codex.patch.change.deleted-file":"Избришана датотека","codex.patch.change.deleting":"Се брише","codex.patch.change.edited":"Уредено","codex.patch.change.edited-file":"Уредена датотека","codex.patch.change.editing":"Уредува","codex.patch.change.noChanges":"Нема промени","codex.patch.change.rejected-add":"Одбиено","codex.patch.change.rejected-delete":"Одбиено","codex.patch.change.rejected-edit":"Одбиено","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} од {total} задачи завршени","codex.plan.todoListCreated":"Листата со задачи е креирана со {total} задачи","codex.profileDropdown.apiKeyAuth":"Најавено со API клуч","codex.profileDropdown.codexSettings":"Поставки на Codex","codex.profileDropdown.copilotAuth":"Најавено со Copilot","codex.profileDropdown.defaultAccountTitle":"Стандардна сметка","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter за праќање долги промптови","codex.profileDropdown.enterBehaviorError":"Неуспешно ажурирање на поставката","codex.profileDropdown.getPlus":"Надгради за повисоки ограничувања","codex.profileDropdown.keyboardShortcuts":"Кратенки на тастатурата","codex.profileDropdown.language":"Јазик","codex.profileDropdown.languageDefault":"Автоматско откривање","codex.profileDropdown.languageSearchPlaceholder":"Пребарај јазици","codex.profileDropdown.languageUpdateError":"Неуспешно ажурирање на јазикот","codex.profileDropdown.logOut":"Одјави се","codex.profileDropdown.mcp":"Поставки на MCP","codex.profileDropdown.openConfigToml":"Отвори config.toml","codex.profileDropdown.openConfigToml.wsl":"Отвори config.toml во WSL околина","codex.profileDropdown.openExtensionSettings":"Отвори поставки","codex.profileDropdown.openMcpSettings":"Отвори поставки на MCP","codex.profileDropdown.openOnStartup":"Отвори при стартување","codex.profileDropdown.openOnStartupError":"Неуспешно ажурирање на поставката","codex.profileDropdown.openSkillsSettings":"Отвори ги поставките за вештини","codex.profileDropdown.personalAccountTitle":"Лична сметка","codex.profileDropdown.queueFollowUps":"Следење на редици","codex.profileDropdown.queueFollowUpsError":"Неуспешно ажурирање на поставката","codex.profileDropdown.readDocs":"Прочитај документи","codex.profileDropdown.readSkillsDocs":"Прочитај документи","codex.profileDropdown.runInWsl":"Стартувај во WSL","codex.profileDropdown.runInWslError":"Неуспешно ажурирање на поставката","codex.profileDropdown.runInWslTooltip":"Го стартува Codex во WSL. Препорачано за подобрена безбедност на sandbox и подобри перформанси.","codex.profileDropdown.settings":"Поставки на IDE","codex.profileDropdown.settingsPage":"Поставки","codex.profileDropdown.signInWithOpenAI":"Најави се со ChatGPT","codex.profileDropdown.skills":"Поставки за вештини","codex.profileDropdown.switchToCopilotAccount":"Користи сметка на Copilot","codex.profileDropdown.switchToOpenAIAccount":"Користи сметка на OpenAI","codex.profileDropdown.todoCodelens":"Поправи ги коментарите на TODO","codex.profileDropdown.todoCodelensError":"Неуспешно ажурирање на поставката","codex.profileDropdown.windowsDocumentation":"Документација на Windows","codex.profileFooter.signedInFallback":"Поставки","codex.profileFooter.upgrade":"Надгради","codex.recentTasksMenu.clearSearch":"Избриши пребарување","codex.recentTasksMenu.cloud":"Задачи во облак","codex.recentTasksMenu.count":"{count, plural, =0 {Нема задачи во тек} one {# задача во тек} other {# задачи во тек}}","codex.recentTasksMenu.empty":"Сè уште нема нишки","codex.recentTasksMenu.errorCloud":"Не успеа да се вчитаат задачите.","codex.recentTasksMenu.errorCloud.inline":"Не успеа да се вчитаат задачите во облакот.","codex.recentTasksMenu.filterAll":"Сите","codex.recentTasksMenu.filterCloudTasks":"Филтрирај задачи во облакот","codex.recentTasksMenu.filterTooltip":"Филтрирај задачи по околина","codex.recentTasksMenu.local":"Локални задачи","codex.recentTasksMenu.recent":"Сите задачи","codex.recentTasksMenu.search":"Пребарај неодамнешни задачи","codex.recentTasksMenu.searchEmpty":"Нема резултат","codex.recentTasksMenu.tooltip":"Историја на задачи","codex.recentTasksMenu.trigger":"Неодамнешни задачи. {count, plural, one {# во тек} other {# во тек}}","codex.remoteConversation.applyDiff.applyCta":"Примени промени","codex.remoteConversation.applyDiff.dropdownTitle":"Примени ги промените во локална гранка","codex.remoteConversation.applyDiff.revertCta":"Врати промени","codex.remoteConversation.closeImagePreview":"Затвори го прегледот на сликата","codex.remoteConversation.codexCloudTask":"Гледаш задача во <u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Грешка: {message}","codex.remoteConversation.loadingImage":"Вчитување на сликата","codex.remoteConversation.openInWeb":"Отвори на веб","codex.remoteConversation.streaming":"Започнување","codex.remoteConversation.turnFailed":"Се појави грешка за време на оваа задача","codex.remoteConversation.turnTab.loading":"Обид {number}","codex.remoteConversation.turnTab.title":"Обид {number}","codex.remoteConversation.userImageAttachment":"Прилог на корисник","codex.remoteConversation.viewPreviousTurns":"Отвори на веб","codex.remoteConversation.viewPreviousTurns.buttonText":"Отвори","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Отвори на веб","codex.review.copyGitApplyCommand":"Копирај ја командата git apply","codex.review.copyGitApplyCommand.toast":"Командата git apply е копирана на складот","codex.review.diffTooLarge.description":"Оваа разлика е преголема за да се прикаже во Преглед.","codex.review.diffTooLarge.title":"Разликата е преголема за да се прикаже","codex.review.expandOrCollapseDiffButton.collapse":"Сокриј ги сите разлики","codex.review.expandOrCollapseDiffButton.expand":"Прошири ги сите разлики","codex.review.expandOrCollapseDiffMenu.collapse":"Сокриј ги сите разлики","codex.review.expandOrCollapseDiffMenu.expand":"Прошири ги сите разлики","codex.review.fileSearch.clear":"Исчисти го филтерот на датотеката","codex.review.fileSearch.empty":"Нема датотеки што се совпаѓаат со тековниот филтер.","codex.review.fileSearch.label":"Датотеки од филтер","codex.review.fileSearch.placeholder":"Датотеки од филтер...","codex.review.filesChanged":"{num, plural, =0 {Нема променети датотеки} one {# променета датотека} other {# променети датотеки}}","codex.review.find.loadMore":"Вчитај повеќе совпаѓања","codex.review.fullReview.hideFileTree":"Сокриј дрво на датотека","codex.review.fullReview.showFileTree":"Прикажи дрво на датотека","codex.review.header.moreOptions":"Опции за преглед","codex.review.largeDiff.banner":"Откриени се големи разлики - се прикажува една датотека во дадено време.","codex.review.loadFullFiles.disable":"Не вчитувај цели датотеки","codex.review.loadFullFiles.enable":"Вчитувај цели датотеки","codex.review.noDiff":"Промените во датотеката ќе се појават тука","codex.review.noDiff.gitInit.createRepository":"Креирај git складиште","codex.review.noDiff.gitInit.creating":"Се креира…","codex.review.noDiff.gitInit.error":"Не успеа иницијализирањето на Git: {message}","codex.review.noDiff.gitInit.success":"Складиштето на git е креирано","codex.review.noDiff.gitRepoRequired.description":"Следи ги и отповикај ги промените во овој проект","codex.review.noDiff.gitRepoRequired.title":"Креирај git складиште","codex.review.noDiff.orNoLongerAvailable":"или најновите разлики веќе не се достапни","codex.review.noDiff.reverted":"Последниот круг е вратен","codex.review.noDiff.revertedOrCommitted":"Последниот круг или е вратен или извршен","codex.review.refreshGitQueries":"Освежи","codex.review.revert.file.error":"Не успеа да се врати {path}","codex.review.revert.file.partialSuccess":"Делумно вратено {path}","codex.review.revert.file.success":"Вратено {path}","codex.review.revert.hunk.error":"Не успеа да се врати делот {hunkNumber} во {path}","codex.review.revert.hunk.partialSuccess":"Делумно вратен дел {hunkNumber} во {path}","codex.review.revert.hunk.success":"Вратен дел {hunkNumber} во {path}","codex.review.revert.section.error":"Неуспешно враќање на делот","codex.review.revert.section.partialSuccess":"Делот е делумно вратен","codex.review.revert.section.success":"Делот е вратен","codex.review.revertDialog.cancel":"Откажи","codex.review.revertDialog.confirm":"Потврди","codex.review.revertDialog.message":"Ова дејство ги отстранува сите овие промени.","codex.review.revertDialog.skip":"Не прашувај пак","codex.review.revertDialog.title":"Врати промени?","codex.review.richPreview.disable":"Оневозможи богат преглед","codex.review.richPreview.enable":"Овозможи богат преглед","codex.review.source.cloud":"Промени на облак","codex.review.source.local.all":"Сите промени во гранките","codex.review.source.local.lastTurn":"Последни промени во свртувањето","codex.review.source.local.uncommitted":"Неизвршени промени","codex.review.source.worktree":"Неизвршени промени на работното дрво","codex.review.stageFilter.empty.staged.description":"Прифати измени за подготвување","codex.review.stageFilter.empty.staged.title":"Нема подготвени промени","codex.review.stageFilter.empty.unstaged.description":"Промените во кодот ќе се појават тука","codex.review.stageFilter.empty.unstaged.title":"Нема неподготвени промени","codex.review.stageFilter.staged":"Подготвени","codex.review.stageFilter.staged.count":"Подготвени · {count}","codex.review.stageFilter.unstaged":"Неподготвени","codex.review.stageFilter.unstaged.count":"Неподготвени · {count}","codex.review.switchToSplit":"Префрли на поделба на разликата","codex.review.switchToUnified":"Префрли на унифицирана разлика","codex.review.toggleDiffView":"Вклучи/исклучи го приказот на разликите","codex.review.wordDiffs.disable":"Оневозможи разлики во зборови","codex.review.wordDiffs.enable":"Овозможи разлики во зборови","codex.review.wrap.disable":"Оневозможи вклопување на зборови","codex.review.wrap.enable":"Овозможи вклопување на зборови","codex.section.patch.missing":"Не може да се изгради лепенка за овој дел.","codex.shell.collapse":"Сокриј ја обвивката","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Копирана содржина на обвивката","codex.shell.copy.copyTooltip":"Копирај ја содржината на обвивката","codex.shell.copyCommand":"Копирај команда","codex.shell.copyOutput":"Копирај резултат","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Прошири ја обвивката","codex.shell.name":"Shell","codex.shell.noOutput":"Нема резултат","codex.signInFailed.message":"Најавувањето не успеа: {rawMessage}","codex.stories.toast.show":"Прикажи здравица","codex.stories.tooltip.basic":"Ова е опис на елемент","codex.stories.tooltip.hoverMe":"Задржи ме тука","codex.stories.tooltip.largerOffset":"Овој опис на елемент има поголемо отстапување","codex.stories.tooltip.offsetButton":"Поголемо отстапување","codex.stories.tooltip.shortcutButton":"Со кратенка","codex.stories.tooltip.withShortcut":"Вклучи/исклучи терминал","codex.taskRow.title":"Нова нишка","codex.taskRowLayout.confirm":"Потврди","codex.threadFindBar.chatFilter":"Пребарај разговор","codex.threadFindBar.close":"Затвори опција за наоѓање","codex.threadFindBar.diffFilter":"Пребарај разлики","codex.threadFindBar.label":"Најди во нишка","codex.threadFindBar.nextResult":"Следни резултати","codex.threadFindBar.noResults":"0 резултати","codex.threadFindBar.placeholder":"Пребарај нишка...","codex.threadFindBar.placeholder.extension":"Пребарај нишка...","codex.threadFindBar.placeholder.review":"Пребарај разлики...","codex.threadFindBar.placeholder.review.extension":"Пребарај разлики...","codex.threadFindBar.previousResult":"Претходни резултати ","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# променета датотека} other {# променети датотеки}}","codex.unifiedDiff.inlineLargeFile":"Преголема за прикажување вметната","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Врати","codex.unifiedDiff.revertPatchError":"Неуспешно враќање на промените","codex.unifiedDiff.revertPatchSuccess":"Промените се вратени","codex.unifiedDiff.reviewChangesSuffix":"промени","codex.unifiedDiff.reviewShort":"Прегледај","codex.unifiedDiff.viewDiffTooltip":"Преглед","codex.upsellBanner.business.headline":"За да добиеш поголем пристап сега, испрати барање до администраторот или почекај до {resetDate}.","codex.upsellBanner.cbp.headline":"За да добиеш поголем пристап сега, испрати барање до твојот администратор.","codex.upsellBanner.cta.addCredits":"Додај кредити","codex.upsellBanner.cta.upgradeAccount":"Надгради","codex.upsellBanner.cta.viewUsage":"Види користење","codex.upsellBanner.free.trialHeadline":"Твоето ограничување се ресетира на {resetDate}. За да продолжиш да го користиш Codex и да добиеш пристап до GPT-5.3-Codex, почни го твојот бесплатен пробен период на Plus денес.","codex.upsellBanner.freeOrGo.headline":"Ограничувањето се ресетира на {resetDate}. За да продолжиш да го користиш Codex, надгради на Plus денес.","codex.upsellBanner.general.headline":"Ограничување се ресетира на {resetDate}.","codex.upsellBanner.general.title":"Немаш веќе пораки на Codex","codex.upsellBanner.go.trialHeadline":"Твоето ограничување се ресетира на {resetDate}. За да продолжиш да го користиш Codex, почни го твојот бесплатен пробен период на Plus денес.","codex.upsellBanner.plus.headline":"Ограничувањето се ресетира на {resetDate}. За да продолжиш да го користиш Codex, додај кредити или надгради на Plus денес.","codex.upsellBanner.pro.headline":"Ограничувањето се ресетира на {resetDate}. Додај кредити за да продолжиш да го користиш Codex сега.","codex.userMessage.autoResolveSync":"Автоматско решавање конфликти","codex.userMessage.commentCount":"{count, plural, one {# коментар} other {# коментари}}","codex.userMessage.copiedAriaLabel":"Копирано","codex.userMessage.copiedTooltip":"Копирано","codex.userMessage.copyAriaLabel":"Копирај порака","codex.userMessage.copyTooltip":"Копирај","codex.userMessage.implementPlan":"Спроведи го планот","codex.userMessage.noContent":"(Нема содржина)","codex.userMessage.priorConversation":"Се упатува на претходен разговор","codex.userMessage.reviewMode":"Режим на преглед","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"за {query}","codex.webSearch.summary.verb.completed":"Пребарано на интернет","codex.webSearch.summary.verb.inProgress":"Се пребарува на интернет","codex.windowsInstallWslBanner.dismiss":"Отфрли","codex.windowsInstallWslBanner.installWslCta":"Овозможи sandbox","codex.windowsInstallWslBanner.learnMore":"Дознај повеќе","codex.windowsSandboxBanner.content":"Режимот на агент користи експериментален sandbox на Windows за да го ограничи пристапот до системот на датотеки и мрежата. {sandboxLink}","codex.windowsSandboxBanner.title":"Овозможи sandbox за режим на агент","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Поставки на Windows","codexUpgradeModal.body":"Нашиот најнов модел на frontier агентско кодирање - попаметен, побрз и поспособен за општа техничка работа. {link}","codexUpgradeModal.close":"Затвори","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Дознај повеќе","codexUpgradeModal.title":"Вовед во GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Пробај го GPT-5.3-Codex сега","codexUpgradeModal.useExistingModel":"Продолжи со тековниот модел","commentAttachments.numComments":"{count, plural, one {# коментар} other {# коментари}}","commentAttachments.removeAriaLabel":"Отстрани го прилогот од коментарите","common.close":"Затвори","composer.addContext.openFilePickerError":"Не може да се отвори избирачот на датотеки","composer.addContextDropdown.ariaLabel":"Додај датотеки и повеќе","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Додај датотеки и повеќе","composer.addPhotosAndFiles":"Додај датотеки и слики","composer.atMentionList.emptyQuery":"Пишувај за да пребаруваш датотеки","composer.atMentionList.loading":"Се пребарува...","composer.atMentionList.noResults":"Нема резултати","composer.attemptsSelector.option":"{count, plural, one {# верзија} other {# верзии}}","composer.attemptsSelector.tooltip":"Број на паралелни обиди што треба да ги направи Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Запри","composer.cloudFollowUp.cloud":"Облак","composer.cloudFollowUp.local":"Локално","composer.cloudFollowUp.whereRun":"Каде треба да се спроведе ова следење?","composer.cloudTaskCreationError":"Грешка при креирање задача во облакот","composer.cloudTaskError":"Грешка при креирање на задачата","composer.contextWindow.autoCompactionTooltipLine1":"Codex автоматски го компактира својот контекст","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Контекстен прозорец:","composer.contextWindowUsageStatusFull":"{usage} % полно","composer.contextWindowUsageStatusLeft":"{usage} % искористено ({remaining} % останато)","composer.contextWindowUsageTooltip":"{usedTokens} k / {contextWindow} k искористени токени","composer.customCliTooltip":"Користење на прилагодена CLI извршна датотека","composer.dictation.aria":"Диктирај","composer.dictation.cancel.aria":"Запри диктат","composer.dictation.cancel.tooltip":"Запри диктат","composer.dictation.startError":"Не може да се започне диктирање","composer.dictation.submit.aria":"Транскрибирај и прати","composer.dictation.submit.tooltip":"Транскрибирај и прати","composer.dictation.tooltip":"Задржи за да диктираш","composer.dictation.transcribeError":"Не може да се транскрибира аудио","composer.dictation.unsupported":"Диктирањето не е достапно на овој уред","composer.dropOverlay.holdShift":"Држи {key} за да пуштиш","composer.dropOverlay.shiftKey":"Смена","composer.environmentSelector.createNew":"Креирај нова","composer.environmentSelector.error":"Грешка при вчитување на околините","composer.environmentSelector.goBack":"Назад кон составувач","composer.environmentSelector.title":"Избери околина","composer.environmentSelector.tooltip":"Избери околина на облак","composer.feedbackSlashCommand.title":"Повратни информации","composer.filePicker.selectFile":"Избери датотека","composer.filePicker.selectFiles":"Избери датотеки","composer.followerTooltip":"За да продолжиш, врати се на прозорецот каде што почна овој разговор.","composer.footer.branchSwitch.checkoutError":"Неуспешно менување на гранката: {message}","composer.footer.branchSwitch.createAndCheckout":"Креирај и активирај нова гранка…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Изврши промени за да креираш и активираш нова гранка","composer.footer.branchSwitch.createBranchError":"Не успеа да се креира гранка: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Име на гранка","composer.footer.branchSwitch.createDialog.branchExistsError":"Гранката веќе постои.","composer.footer.branchSwitch.createDialog.close":"Затвори","composer.footer.branchSwitch.createDialog.createAndCheckout":"Креирај и активирај","composer.footer.branchSwitch.createDialog.placeholder":"нова-гранка","composer.footer.branchSwitch.createDialog.title":"Креирај и активирај гранка","composer.footer.branchSwitch.createDialog.trailingSlashError":"Името на гранката не може да завршува со „/“.","composer.footer.branchSwitch.tooltip":"Смени гранка","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Изврши промени во {fileCount, plural, one {# датотека} other {# датотеки}} за да провериш {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Изврши","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"промени во {fileCount, plural, one {# датотека} other {# датотеки}} за да провериш {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Откажи","composer.footer.branchSwitch.uncommittedDialog.commit":"Изврши и смени гранка…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Твоите промени во следните датотеки ќе бидат презапишани до активирањето:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Изврши ги твоите промени за да продолжиш","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"избраната гранка","composer.footer.branchSwitch.uncommittedDialog.title":"Изврши промени за да ја смениш гранката","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Неизвршени: {fileCount, plural, one {# датотека} other {# датотеки}}","composer.forkSlashCommand.description":"Разграни ја оваа нишка во локално или ново работно дрво","composer.forkSlashCommand.option.local.description":"Продолжи во нова локална нишка","composer.forkSlashCommand.option.local.title":"Разграни во локално","composer.forkSlashCommand.option.worktree.description":"Продолжи во ново работно дрво","composer.forkSlashCommand.option.worktree.title":"Разграни во ново работно дрво","composer.forkSlashCommand.title":"Разграни","composer.ideContextIndicator":"IDE контекст","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Вклучи контекст од IDE","composer.ideContextIndicator.tooltipToggle":"за вклучување/исклучување","composer.ideContextSlashCommand.disableDescription":"Исклучи контекст на IDE","composer.ideContextSlashCommand.enableDescription":"Вклучи го тековниот избор, отворените датотеки и друг контекст од твојот IDE","composer.ideContextSlashCommand.title":"IDE контекст","composer.imageInputsUnsupported":"Овој модел не поддржува внесување слики. Пробај со друг модел.","composer.imageUploadFailed":"Неуспешно прикачување на сликата","composer.includeIdeContextDropdown":"Вклучи IDE контекст","composer.includeIdeContextDropdown.ariaLabel":"Вклучи IDE контекст","composer.localCwdDropdown.addWorkspaceRoot":"Додај нов проект","composer.localCwdDropdown.noActiveRoot":"Избери го твојот проект","composer.localCwdDropdown.noResults":"Не се пронајдени папки","composer.localCwdDropdown.title":"Избери го твојот проект","composer.localTaskError":"Грешка при започнување на разговорот","composer.mcpSlashCommand.description":"Прикажи статус на MCP сервер","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Не е автентициран","composer.mcpStatus.authOauth":"Автентициран (OAuth)","composer.mcpStatus.authToken":"Автентициран (API-клуч)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Затвори","composer.mcpStatus.disabled":"Оневозможено","composer.mcpStatus.emptyLabel":"Сервери:","composer.mcpStatus.emptyValue":"Нема конфигурирани MCP сервери","composer.mcpStatus.enabled":"Овозможено","composer.mcpStatus.errorLabel":"Статус:","composer.mcpStatus.errorValue":"Не може да се вчита статусот на MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Префрлување на режим","composer.mode.agentMode.custom":"Прилагодено","composer.mode.agentMode.custom.dropdownLabel":"Прилагодено","composer.mode.agentMode.custom.option":"Прилагодено (config.toml)","composer.mode.agentMode.custom.optionLabel":"Прилагодено (config.toml)","composer.mode.agentMode.customInfo.cancel":"Откажи","composer.mode.agentMode.customInfo.cli":"Можеш да ги прилагодиш тие поставки од CLI или со директно уредување на датотеката.","composer.mode.agentMode.customInfo.confirm":"Користи прилагоден режим","composer.mode.agentMode.customInfo.description":"Прилагодениот режим ги применува политиките за одобрување и sandbox дефинирани во твојата<link>config.toml</link> датотека.","composer.mode.agentMode.customInfo.docs":"Дознај повеќе за конфигурирање на политиките за одобрување и sandbox во<link>документи за извршување на околината</link>.","composer.mode.agentMode.customInfo.refresh":"Сите промени стапуваат на сила следниот пат кога агентот ќе се стартува.","composer.mode.agentMode.customInfo.title":"Како функционира прилагодениот режим","composer.mode.agentMode.fullAccess":"Агент (целосен пристап)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (целосен пристап)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (целосен пристап)","composer.mode.agentMode.fullAccessConfirm.caution":"Биди внимателен кога овозможуваш целосен пристап. Ова значително го зголемува ризикот од губење на податоци, протекување или неочекувано однесување.","composer.mode.agentMode.fullAccessConfirm.confirm":"Да, сепак продолжи","composer.mode.agentMode.fullAccessConfirm.description":"Кога Codex работи со целосен пристап, може да уредува која било датотека на твојот компјутер и да извршува команди преку мрежа, без твое одобрение.","composer.mode.agentMode.fullAccessConfirm.goBack":"Откажи","composer.mode.agentMode.fullAccessConfirm.title":"Да се овозможи целосен пристап?","composer.mode.agentMode.readOnly":"Разговор","composer.mode.agentMode.readOnly.dropdownLabel":"Разговор","composer.mode.agentMode.readOnly.optionLabel":"Разговор","composer.mode.agentMode.tooltip":"Префрлување на режим","composer.mode.agentMode.tooltip.auto":"Читај и уредувај датотеки и извршувај команди.","composer.mode.agentMode.tooltip.custom":"Користи ги најновите политики за одобрување и sandbox дефинирани во config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex може да уредува датотеки надвор од проектот и да извршува команди со мрежен пристап. Биди внимателен при користењето.","composer.mode.agentMode.tooltip.readOnly":"Потребно е одобрение за уредување на датотеки и извршување на команди.","composer.mode.cloud.tooltip":"Работа во околина на облак","composer.mode.contactAdmin":"За да добиеш поголем пристап, контактирај со твојот администратор","composer.mode.local":"Локално","composer.mode.local.learnMore":"Дознај повеќе","composer.mode.local.model.custom":"Прилагодено","composer.mode.local.model.loadingModel":"Вчитување на моделот","composer.mode.local.model.selecrReasoningEffort":"Избери расудување","composer.mode.local.model.selectModel":"Избери модел","composer.mode.local.model.tooltip":"Избери модел","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Висок","composer.mode.local.reasoning.low.label":"Низок","composer.mode.local.reasoning.medium.label":"Среден","composer.mode.local.reasoning.minimal.label":"Минимален","composer.mode.local.reasoning.none.label":"Нема","composer.mode.local.reasoning.xhigh.label":"Екстрависок","composer.mode.localRemoteWhereRun":"Избери каде да се изврши задачата","composer.mode.newTask.header":"Продолжи во","composer.mode.rateLimit.day":"{days} денa","composer.mode.rateLimit.heading":"Преостанати ограничувања на стапките","composer.mode.rateLimit.hour":"{hours} часа","composer.mode.rateLimit.minute":"{minutes} минути","composer.mode.rateLimit.modelSectionLabel":"{modelName} ограничување:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {седмично ограничување} other {{weeks} седмично ограничување}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Седмично} other {{weeks} седмици}}","composer.mode.remote.connectToCloud":"Поврзи се со Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Постави околина преку Codex web за да овозможиш испраќање задачи во облакот","composer.mode.remote.selectEnvironment":"Избери околина","composer.mode.remote.sendToCloud":"Испрати во облак","composer.mode.remote.setupViaWeb":"Постави околина преку Codex web","composer.mode.runInCloud":"Облак","composer.mode.runInCloudWithEnvironment":"Облак · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Работи во околина на облак","composer.mode.segmentedToggle.local.tooltip":"Работи во твојот локален проект","composer.mode.segmentedToggle.worktree.tooltip":"Работи во паралелно работно дрво","composer.mode.upgradeToPlus":"Надгради на Plus","composer.mode.upgradeToPro":"Надгради на Pro","composer.mode.workLocally":"Локален проект","composer.mode.workLocally.currentBranchFallback":"твојата гранка","composer.mode.workLocally.tooltip":"Работа на {branchName}","composer.mode.worktree":"Ново работно дрво","composer.mode.worktree.submoduleWarning":"Ова складиште има подмодули од Git. Креирањето работно дрво може да не успее","composer.mode.worktree.tooltip":"Креирај копија од твојот локален проект за паралелна работа","composer.mode.worktreeSegment":"Работно дрво","composer.modelChangeDuringConversationWarning.toast":"Менувањето на моделите на сред разговор ќе ги намали перформансите.","composer.newChat.heading.browser":"Што треба да кодираме следно?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex ја користи дозволата дефинирана во config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex има целосен пристап до твојот компјутер (зголемен ризик)","composer.permissionsDropdown.custom.label":"Прилагодено (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Прилагодено (config.toml)","composer.permissionsDropdown.default.label":"Стандардни дозволи","composer.permissionsDropdown.default.optionLabel":"Стандардни дозволи","composer.permissionsDropdown.default.tooltip":"Codex автоматски извршува команди во песочник","composer.permissionsDropdown.disabled.requirements":"Дозволите се заклучени од requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Целосниот режим е оневозможен од requirements.toml","composer.permissionsDropdown.fullAccess.label":"Целосен пристап","composer.permissionsDropdown.fullAccess.optionLabel":"Целосен пристап","composer.permissionsDropdown.trigger.tooltip":"Промени дозволи","composer.personalitySlashCommand.description.friendly":"Топол, соработлив и услужлив","composer.personalitySlashCommand.description.pragmatic":"Концизен, фокусиран на задачата и директен","composer.personalitySlashCommand.label.friendly":"Пријателски","composer.personalitySlashCommand.label.pragmatic":"Прагматичен","composer.personalitySlashCommand.notApplicableSuffix":"(Не важи за тековниот модел)","composer.personalitySlashCommand.title":"Карактер","composer.placeholder.cloudFollowUp.directFollowUp":"Следење на оваа задача во облакот","composer.placeholder.cloudFollowUp.local":"Креирај нова локална задача што се упатува на оваа задача во облакот","composer.placeholder.cloudFollowUp.workingTree":"Креирај нова задача во облакот што го вклучува твојот тековен код и ќе се упатува на оваа задача","composer.placeholder.localFollowUp.cloud":"Следење во нова задача во облакот","composer.placeholder.localFollowUp.locally":"Побарај промени за следење","composer.placeholder.newTask.cloud":"Побарај од Codex да направи нешто во облакот","composer.placeholder.newTask.doAnything":"Побарај од Codex да направи што било","composer.placeholder.newTask.locally":"Прашај го Codex што било, @ за да додадеш датотеки, / за команди","composer.planModeDropdown":"Режим на планирање","composer.planModeDropdown.ariaLabel":"Режим на планирање","composer.planModeIndicator":"План","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Креирај план со Codex","composer.planModeIndicator.tooltipToggle":"за вклучување/исклучување","composer.planSlashCommand.disableDescription":"Исклучи го режимот на планирање","composer.planSlashCommand.enableDescription":"Вклучи го режимот на планирање","composer.planSlashCommand.title":"Режим на планирање","composer.priorContext.label":"Претходен контекст","composer.priorContext.removeAriaLabel":"Отстрани го претходниот контекст","composer.queuedMessage.delete":"Избриши порака во ред","composer.queuedMessage.edit":"Уреди порака","composer.queuedMessage.more":"Дејства за пораки во ред","composer.queuedMessage.sendNow":"Управувај","composer.queuedMessage.sendNowTooltip":"Испрати сега без прекинување на работата","composer.queuedMessage.turnOff":"Исклучи ставање во ред","composer.reasoningEffort.local.reasoning.tooltip":"Избери напор за расудување","composer.remote.branchStartingPoint":"Од која гранка треба да почне оваа задача?","composer.remote.branchesSectionHeading":"Гранки","composer.remote.currentEditsSuffix.followUp":"Креирај нова задача што се упатува на оваа задача во облакот.","composer.remote.currentEditsSuffix.useLocal":"со промени во локалниот код","composer.remote.directFollowUp":"Не користи локални промени","composer.remote.errorLoadingBranches":"Грешка при вчитувањето на гранките","composer.remote.fromBranch":"Од {branch}","composer.remote.fromCurrentBranch":"Од {branch} (тековна)","composer.remote.loadingMoreBranches":"Се вчитува…","composer.remote.localFileStateHeading":"Локална состојба на датотека","composer.remote.localWorkingTree":"Користи локални промени","composer.remote.startingPoint":"Од кој код треба да почне оваа задача?","composer.reviewMode.branches.error":"Не може да се вчитаат гранките","composer.reviewMode.branches.retry":"Обиди се повторно","composer.reviewMode.gitRoot.error":"Git root не е пронајден","composer.reviewMode.option.baseBranch.simple":"Прегледај во однос на основна гранка","composer.reviewMode.option.unstaged.simple":"Прегледај неизвршени промени","composer.reviewMode.quickReviewError":"Не успеа да се почне со преглед на кодот.","composer.reviewMode.title":"Преглед на кодот","composer.sandboxButton.unlock.disabled.tooltip":"Целосниот режим е оневозможен од requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex може да користи експериментален песочник на Windows за да го ограничи пристапот до системот на датотеки и мрежата. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Овозможи песочник на Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Користи само за читање","composer.searchEnvironments":"Пребарај околини","composer.skillMentionList.app":"Апликација","composer.skillMentionList.loading":"Вчитување на вештини...","composer.skillMentionList.noResults":"Не се пронајдени вештини","composer.slashCommands.cloudEnvironment.title":"Околина на облак","composer.slashCommands.dialogLabel":"Мени со команди со коса црта","composer.slashCommands.dialogTitle":"Команди со коса црта","composer.slashCommands.disabledTooltip":"Почни нов разговор за да користиш команди со коса црта","composer.slashCommands.inputPlaceholder":"Пребарај","composer.slashCommands.noResults":"Нема команди","composer.slashCommands.skillsGroup":"Вештини","composer.slashCommands.tooltip":"Прелистај ги командите со коса црта","composer.status.close":"Затвори","composer.statusPlain.alertLabel":"Предупредување:","composer.statusPlain.alertValue":"{remaining} % останато на {window}","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count} K","composer.statusPlain.contextValueMetadata":"({used} искористени / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % останати","composer.statusPlain.heading":"Статус","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ограничување:","composer.statusPlain.rateLimitDays":"{count} дена ограничување","composer.statusPlain.rateLimitFallbackLabel":"Ограничување на стапката:","composer.statusPlain.rateLimitHours":"{count} часа ограничување","composer.statusPlain.rateLimitLabelBase":"Ограничување на стапката","composer.statusPlain.rateLimitMinutes":"{count} минути ограничување","composer.statusPlain.rateLimitPercent":"{remaining} % останати","composer.statusPlain.rateLimitReset":"се ресетира {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"времето за ресетирање е недостапно","composer.statusPlain.rateLimitUnavailable":"Недостапно","composer.statusPlain.sessionCopiedAriaLabel":"Копиран ID на сесија","composer.statusPlain.sessionCopiedTooltip":"Копиран ID","composer.statusPlain.sessionCopyAriaLabel":"Копирај ID на сесија","composer.statusPlain.sessionCopyTooltip":"Копирај ID","composer.statusPlain.sessionLabel":"Сесија:","composer.statusSlashCommand.description":"Прикажи ID на нишка, користење на контекст и ограничувања на стапката","composer.statusSlashCommand.title":"Статус","composer.submit.blockedDialogOk":"Во ред","composer.submit.blockedDialogTitle":"Не може да се испрати пораката","composer.submit.emptyMessage":"Внеси порака за да почнеш","composer.submit.imageInputsUnsupported":"Отстрани слики или смени модели за да ја испратиш оваа порака.","composer.submit.loadingLocalConfig":"Се вчитува…","composer.submit.missingCloudConfig":"Мора да избереш околина на облак","composer.submit.missingCloudTurn":"Не може да се следи оваа задача","composer.submit.noWorkspace":"Додај проект за да го користиш Codex","composer.submit.waitForImageUploads":"Сликите се прикачуваат…","composer.submitButtonTooltip.send":"Испрати","composer.submitButtonTooltip.stop":"Запри","composer.worktreeEnvironment.create":"Креирај локална околина","composer.worktreeEnvironment.default":"Стандардна околина","composer.worktreeEnvironment.error":"Грешка при вчитување на околините","composer.worktreeEnvironment.loading":"Се вчитуваат околини…","composer.worktreeEnvironment.title":"Локална околина","composer.worktreeEnvironment.tooltip":"Избери локална околина","composer.worktreeSetupFailed":"Поставувањето на работното дрво не успеа. Провери .codex/environments за скрипта за поставување.","compoundButton.secondaryAction":"Секундарно дејство","copyButton.copied":"Копирано","copyButton.copiedAriaLabel":"Копирано","copyButton.copy":"Копирај","copyButton.copyAriaLabel":"Копирај","copyButton.copyCode":"Копирај код","diff.actionButton.revertFile":"Врати датотека","diff.actionButton.revertHunk":"Врати","diff.actionButton.revertSection":"Врати ги сите","diff.actionButton.revertSectionLabel":"Врати ги сите","diff.actionButton.stageFile":"Подготви датотека","diff.actionButton.stageHunk":"Подготви","diff.actionButton.stageSection":"Подготви ги сите","diff.actionButton.stageSectionLabel":"Подготви ги сите","diff.actionButton.unstageFile":"Откажи подготовка на датотека","diff.actionButton.unstageHunk":"Откажи подготовка","diff.actionButton.unstageSection":"Откажи подготовка на сите","diff.actionButton.unstageSectionLabel":"Откажи подготовка на сите","diff.fileHeader.toggle":"Вклучи/исклучи разлика во датотеки","electron.onboarding.login.apikey.cancel":"Откажи","electron.onboarding.login.apikey.continue":"Продолжи","electron.onboarding.login.apikey.label":"API-клуч на OpenAI","electron.onboarding.login.apikey.open":"Внеси API-клуч","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Откажи најавување","electron.onboarding.login.chatgpt.continue":"Продолжи со ChatGPT","electron.onboarding.login.devbox":"Поврзи се со далечински SSH","electron.onboarding.login.error":"Најавувањето не успеа: {rawMessage}","electron.onboarding.login.snake.start":"Пушти Snake","electron.onboarding.login.sshConfig.cancel":"Откажи","electron.onboarding.login.sshConfig.continue":"Продолжи","electron.onboarding.login.sshConfig.hostnameLabel":"Име на домаќин на SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Најдобар начин да создаваш со агенти","electron.onboarding.login.title":"Добре дојде во Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Продолжи","electron.onboarding.welcome.doubleLimits.description":"Во чест на пуштањето на апликацијата Codex, имаш 2x ограничувања до 2 април.","electron.onboarding.welcome.freego.description":"Codex е вклучен во твојот план бесплатно до 2 март - ајде да почнеме да градиме заедно.","electron.onboarding.welcome.new.title.anon":"Добре дојде!","electron.onboarding.workspace.continue":"Продолжи","electron.onboarding.workspace.empty":"Додај проект за да продолжиш.","electron.onboarding.workspace.listLabel":"Достапни проекти","electron.onboarding.workspace.loading":"Се вчитуваат проекти…","electron.onboarding.workspace.openFolder":"Додај проект","electron.onboarding.workspace.selectAll":"Означи ги сите","electron.onboarding.workspace.skip":"Прескокни","electron.onboarding.workspace.skip.error":"Не можеше да се креира нов проект: {message}","electron.onboarding.workspace.skip.error.unknown":"Непозната грешка","electron.onboarding.workspace.skipping":"Се креира нов проект…","electron.onboarding.workspace.subtitle":"Codex ќе може да уредува датотеки и да извршува наредби во избрани папки.","electron.onboarding.workspace.title":"Избери проект","errorPage.list.checkSettings":"Пробај да ги ажурираш поставките на IDE","errorPage.list.configToml":"Провери го твојот config.toml за неважечки поставки","errorPage.list.downloadExtension":"Пробај да преземеш друга верзија на екстензијата","errorPage.list.runInWsl":"Провери ги поставките за да го оневозможиш работењето во WSL ако гледаш проблеми со компатибилноста","execApprovalRequest.menu.runAlways":"Да, и не прашувај повторно оваа сесија","execApprovalRequest.menu.runAlwaysWithAmendment":"Да, и не прашувај повторно за команди што почнуваат со {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Да, и не прашувај повторно за команди што почнуваат со","execApprovalRequest.menu.runOnce":"Да","execApprovalRequest.prompt":"Сакаш да се изврши оваа команда?","execApprovalRequest.reject":"Не","execFooter.exitCode":"Код за излез {code}","execFooter.exitCode.unknown":"непознато","execFooter.success":"Успех","feedback.dialog.category.badResult":"Лош резултат","feedback.dialog.category.bug":"Грешка","feedback.dialog.category.goodResult":"Добар резултат","feedback.dialog.category.other":"Друго","feedback.dialog.descriptionPlaceholder":"Опиши го проблемот овде","feedback.dialog.dismiss":"Отфрли","feedback.dialog.includeLogsLabel":"Вклучи ги тековните дневници на сесиите на Codex","feedback.dialog.submit":"Поднеси","feedback.dialog.submitError":"Не можевме да ги испратиме твоите повратни информации. Обиди се повторно за момент.","feedback.dialog.title":"Повратни информации","feedback.dialog.uploadedMessage.existingIssue":"постоечко отворено прашање","feedback.dialog.uploadedMessage.openIssue":"отвори проблем на GitHub","feedback.dialog.uploadedMessage.withThread":"Повратните информации се поставени. Ако проблемот продолжи, те молиме {openIssueLink} или спомени го ID на нишката во {existingIssueLink}:","feedback.dialog.uploadedTitle":"Повратните информации се поставени","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Отстрани {filename}","header.back":"Назад","header.recentChats":"Задачи","header.recentTasks.seeAll":"Прикажи ги сите ({total})","home.header.getPlus":"Купи Plus","home.hero.letsBuild":"Ајде да градиме","homePage.mainContent":"Главна содржина","imageAttachment.defaultName":"слика","imageAttachment.preview.close":"Затвори го прегледот на сликата","imageAttachment.removeAriaLabel":"Отстрани {filename}","implementPlanRequest.option.implement":"Да, спроведи го овој план","implementPlanRequest.prompt":"Да се спроведе овој план?","inbox.archived.deleteError":"Не може да се избрише архивираното извршување","inbox.archived.deleteRun":"Избриши архивирано извршување","inbox.archived.deleteSuccess":"Избришана е архивирана нишка. Прикажи во <settingsLink>Архивирани нишки</settingsLink>.","inbox.archived.inlineLabel.auto":"Оваа нишка е автоматски архивирана. <learnMoreLink>Дознај повеќе</learnMoreLink>","inbox.archived.inlineLabel.manual":"Оваа нишка е архивирана.","inbox.archived.noMessageFound":"Не е пронајдена порака","inbox.automations.createError":"Не може да се креира автоматизација","inbox.automations.deleteConfirm.cancel":"Откажи","inbox.automations.deleteConfirm.confirm":"Избриши автоматизација","inbox.automations.deleteConfirm.description":"Ова трајно ќе ја избрише автоматизацијата и ќе ги запре сите идни извршувања.","inbox.automations.deleteConfirm.title":"Избриши {name}?","inbox.automations.deleteError":"Не може да се избрише автоматизацијата","inbox.automations.editTooltip":"Уреди автоматизација","inbox.automations.inProgress":"Во тек","inbox.automations.new":"Ново","inbox.automations.newToolbar":"Нова автоматизација","inbox.automations.pauseTooltip":"Паузирај автоматизација","inbox.automations.resumeTooltip":"Продолжи со автоматизација","inbox.automations.startingNow":"Почнува сега","inbox.automations.startsIn":"Почнува во {startTime}","inbox.automations.status.active":"Активно","inbox.automations.status.paused":"Паузирано","inbox.automations.status.runs":"{count} извршувања","inbox.automations.status.started":"Започнато {date}","inbox.automations.updateError":"Не може да се ажурира автоматизацијата","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Сите","inbox.filter.ariaLabel":"Филтрирај ставки во приемното сандаче","inbox.filter.unread":"Непрочитани","inbox.list.archived":"Архивирано","inbox.list.inProgress":"Во тек","inbox.list.recent":"Завршено","inbox.list.upNext":"Закажани","inbox.mode.automations":"Автоматизации","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Не е даден опис","inbox.openThread":"Отвори нишка","inbox.rightPanel.emptySubtitle":"Автоматизирај ја работата поставувајќи закажани задачи","inbox.rightPanel.emptySubtitle.learnMore":"Автоматизирај ја работата со поставување закажани нишки.<link>Дознај повеќе</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# активна автоматизација} other {# активни автоматизации}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Нема непрочитани автоматизации","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# непрочитана автоматизација} other {# непрочитани автоматизации}}","inbox.rightPanel.emptyTitle":"Не е избрана ставка","inbox.rightPanel.noThread":"Нема нишка за оваа ставка","inbox.rightPanel.quickStart.header":"Почни со шаблон","inbox.untitled":"Ставка без наслов во приемното сандаче","loadingPage.documentationLink":"документација","loadingPage.errorDescription":"Codex падна поради следната грешка:","loadingPage.errorDescription.documentation":"Кликни вчитај пак за да ја рестартираш екстензијата на Codex или посети го нашиот {documentationLink} за дополнителна помош.","loadingPage.errorSignal":"Некои работи што треба да ги пробаш:","loadingPage.errorTitle":"Се појави грешка","loadingPage.openConfigToml":"Отвори Config.toml","loadingPage.reload":"Вчитај пак","localConversation.contextCompacted":"Контекстот е автоматски компактиран","localConversation.contextCompacting":"Автоматско компактирање на контекст","localConversation.forkedFromConversation":"Разгрането од {threadTitle}","localConversation.merge.autoResolve.failed":"Неуспешно барање за автоматско решавање: {error}","localConversation.merge.autoResolve.sent":"Испратено е барање за автоматско решавање","localConversation.merge.autoResolveMerge.missingConversation":"Не може автоматски да се реши без активен разговор.","localConversation.merge.autoResolveMerge.request":"Автоматско решавање на конфликтите на спојување","localConversation.modelChanged":"Моделот е променет од {fromModel} во {toModel}.","localConversation.modelChanged.warning.line1":"Менувањето на моделите на сред разговор ќе ги намали перформансите.","localConversation.modelChanged.warning.line2":"Контекстот може автоматски да се компактира.","localConversation.moveThread.createBranch.label":"Креирај гранка","localConversation.moveToLocal.disabled.loading":"Се вчитува…","localConversation.moveToLocal.modal.continue":"Продолжи","localConversation.moveToLocal.modal.destinationLabel":"Премести во","localConversation.moveToLocal.modal.retry":"Обиди се повторно","localConversation.moveToWorktree.modal.back":"Назад","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Гранката веќе постои.","localConversation.moveToWorktree.modal.branchesError":"Не може да се вчитаат гранките","localConversation.moveToWorktree.modal.branchesLoading":"Вчитување на гранки…","localConversation.moveToWorktree.modal.branchesRetry":"Обиди се повторно","localConversation.moveToWorktree.modal.continue":"Продолжи","localConversation.moveToWorktree.modal.retry":"Обиди се повторно","localConversation.moveToWorktree.modal.trailingSlashError":"Името на гранката не може да завршува со „/“.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"нова-гранка","localConversation.personalityChanged":"Префрлено на карактер {personality}","localConversation.planSummary.collapse":"Сокриј го резимето на планот","localConversation.planSummary.collapseTooltip":"Сокриј","localConversation.planSummary.download":"Преземи план","localConversation.planSummary.expand":"Прошири го резимето на планот","localConversation.planSummary.expandTooltip":"Прошири","localConversation.planSummary.openInNewWindow":"Отвори","localConversation.planSummary.openInNewWindow.tooltip":"Отвори во нов прозорец","localConversation.planSummary.title":"План","localConversation.planSummary.titleWriting":"План за пишување","localConversation.planSummary.viewPlan":"Прошири план","localConversation.remoteTaskCreated":"Креирано {taskLink} во Codex Cloud","localConversation.remoteTaskCreated.task":"задача","localConversation.scrollToBottomButton":"Листај до дното","localConversation.sync.buttonLabel":"Предај на локално","localConversation.sync.buttonLabel.tooltip":"Пренеси ги промените меѓу ова работно дрво и твојата локална копија.","localConversation.sync.modal.loading.title":"Предавање промени…","localConversation.sync.modal.noChanges":"Нема промени","localConversation.syncSetup.branchAriaLabel":"Име на гранка","localConversation.syncSetup.branchName":"Име на гранка","localConversation.syncSetup.branchPlaceholder.existing":"Избери постоечка гранка","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Вчитување на гранки…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Веќе активирана","localConversation.syncSetup.checkoutClean":"Тековно на {branchName}","localConversation.syncSetup.checkoutDirty":"Моментално на {branchName} со неизвршени промени","localConversation.syncSetup.checkoutError":"Неуспешна проверка на гранката: {message}","localConversation.syncSetup.checkoutLabel":"Провери локално сега","localConversation.syncSetup.checkoutOnLocal":"Предај на локално","localConversation.syncSetup.checkoutPending":"Проверка на локалниот статус…","localConversation.syncSetup.checkoutUnavailable":"Локалниот работен простор не е достапен","localConversation.syncSetup.checkoutUnknown":"Локалната гранка е недостапна","localConversation.syncSetup.continue":"Продолжи","localConversation.syncSetup.createBranchError":"Неуспешно поставување на гранка за предавање: {message}","localConversation.syncSetup.error":"Нешто не е во ред: {message}","localConversation.syncSetup.error.workingTreeMissing":"Не може да се направи слика од работното дрво. Обиди се повторно со предавање.","localConversation.syncSetup.mode.ariaLabel":"Избери режим на гранка","localConversation.syncSetup.mode.existing":"Постоечка гранка","localConversation.syncSetup.mode.new":"Нова гранка","localConversation.syncSetup.noBranches":"Не се најдени гранки","localConversation.syncSetup.overwriteError":"Гранката е креирана, но не е целосно предадена. Предај ја рачно пред да извршиш локална проверка.","localConversation.syncSetup.setPrefix":"Постави префикс","localConversation.syncSetup.subtitle":"Тестирај и уредувај ги промените на работното дрво локално. <a>Дознај повеќе</a>","localConversation.syncSetup.success.checkedOut":"Гранката е креирана и е активирана локално","localConversation.syncSetup.success.notCheckedOut":"Гранката е креирана","localConversation.syncSetup.title":"Предај на локална гранка","localConversation.syncWorktreeError.branchAriaLabel":"Име на гранка","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Избери гранка на која ќе ги предадеш промените, а потоа обиди се повторно да ги вчиташ.","localConversation.syncWorktreeError.branchSetup.title":"Ажурирај гранка","localConversation.syncWorktreeError.branchUpdate.cta":"Ажурирај и обиди се повторно","localConversation.syncWorktreeError.branchUpdate.error":"Неуспешно ажурирање на гранката: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Нешто не е во ред: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Гранката не е активирана во ниту едно работно дрво.","localConversation.syncWorktreeV2.applyUncommitted":"Примени","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Мора да ја активираш гранката локално за да примениш неизвршени промени","localConversation.syncWorktreeV2.branches.empty":"Не се најдени гранки","localConversation.syncWorktreeV2.branches.loading":"Се вчитуваат гранки…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Промени ја гранката за предавање","localConversation.syncWorktreeV2.changeBranch.error":"Неуспешна промена на гранката за предавање: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Примената не успеа","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Презапишувањето на работното дрво не успеа","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Презапишувањето локално не успеа","localConversation.syncWorktreeV2.commandError.back":"Назад","localConversation.syncWorktreeV2.commandError.body":"Командата git не успеа при предавањето. Прегледај го резултатот и обиди се повторно.","localConversation.syncWorktreeV2.commandError.retry":"Обиди се повторно","localConversation.syncWorktreeV2.description":"Предавање на промените меѓу локалното и ова работно дрво <a>Дознај повеќе</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Избери насока на предавање","localConversation.syncWorktreeV2.error.generic":"Нешто тргна наопаку при предавањето. Обиди се повторно.","localConversation.syncWorktreeV2.localBranchLabel":"Локално","localConversation.syncWorktreeV2.noChanges":"Пресметување на промените","localConversation.syncWorktreeV2.noChanges.summary":"Нема промени","localConversation.syncWorktreeV2.overwrite.local":"Презапиши локално","localConversation.syncWorktreeV2.overwrite.worktree":"Презапиши работно дрво","localConversation.syncWorktreeV2.partial.action.applyFailed":"Не можеше да се применат промените","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Не можеше да се презапишат локалните промени","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Не можеше да се презапишат промените на работното дрво","localConversation.syncWorktreeV2.partial.appliedLabel":"Применето","localConversation.syncWorktreeV2.partial.back":"Назад","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Реши ги конфликтите и обиди се повторно.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Конфликти","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# датотека} other {# датотеки}}","localConversation.syncWorktreeV2.partial.retry":"Обиди се повторно","localConversation.syncWorktreeV2.partial.skippedLabel":"Прескокнато","localConversation.syncWorktreeV2.stateFailed.generic":"Нешто тргна наопаку при преземањето на промените во работното дрво за предавање. Обиди се повторно.","localConversation.syncWorktreeV2.stateFailed.title":"Неуспешно вчитување на промени во работното дрво","localConversation.syncWorktreeV2.statusError.diffUnknown":"Неуспешно вчитување на промени во работното дрво.","localConversation.syncWorktreeV2.statusError.retry":"Обиди се повторно","localConversation.syncWorktreeV2.statusError.title":"Не може да се вчитаат промените во локалната гранка","localConversation.syncWorktreeV2.statusError.unknown":"Статусот на гранката е недостапен во моментов. Обиди се повторно.","localConversation.syncWorktreeV2.success.apply":"Успешно применети промени","localConversation.syncWorktreeV2.success.overwrite":"Предавањето е успешно","localConversation.syncWorktreeV2.title":"Предај промени","localConversation.syncWorktreeV2.worktreeLabel":"Работно дрво","localConversation.userInputRequest.inProgress":"Поставување на {count, plural, one {прашање} other {прашања}}","localConversation.userInputRequest.noAnswer":"Не е даден одговор","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Поставени","localConversation.userInputRequest.summary.count":"{count, plural, one {# прашање} other {# прашања}}","localConversation.workedFor":"Работено {time}","localConversation.worktreeBranchSetup.action.create":"Креирај","localConversation.worktreeBranchSetup.branchAriaLabel":"Име на гранка","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Креирај нова гранка","localConversation.worktreeBranchSetup.checkoutDisabled":"Оваа гранка е веќе активирана на {location}","localConversation.worktreeBranchSetup.checkoutError":"Неуспешна проверка на гранката: {message}","localConversation.worktreeBranchSetup.createBranchError":"Неуспешно поставување на гранката: {message}","localConversation.worktreeBranchSetup.error":"Нешто не е во ред: {message}","localConversation.worktreeBranchSetup.subtitle":"Креирај гранка за да ги извршиш промените, да притиснеш и да креираш барање за повлекување од ова работно дрво. <a>Дознај повеќе</a>","localConversation.worktreeBranchSetup.title":"Работи тука","localConversationPage.addWorktreeToSidebar.tooltip":"Зачувај како проект за да можеш да започнуваш нови нишки од ова работно дрво","localConversationPage.addWorktreeToSidebarError":"Неуспешно додавање на проектот","localConversationPage.commitAndCreatePrModal.errorTitle":"Извршувањето и креирањето на барање за повлекување не успеаја","localConversationPage.commitAndCreatePrModal.successTitle":"Извршено и креирано барање за повлекување","localConversationPage.commitAndPushModal.errorTitle":"Извршувањето и притискањето не успеаја","localConversationPage.commitAndPushModal.successTitle":"Извршени и притиснати промени","localConversationPage.commitCreatePr.open":"Отвори барање за повлекување","localConversationPage.commitCreatePr.successTitle":"Креирано барање за повлекување со твоите најнови промени","localConversationPage.createBranchButtonLabel":"Разграни тука","localConversationPage.createPrModal.baseBranch":"Основна","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Креирај PR","localConversationPage.createPrModal.createDescription":"Отвори барање за повлекување за твоите најнови промени.","localConversationPage.createPrModal.errorTitle":"Барањето за повлекување не успеа","localConversationPage.createPrModal.headBranch":"Главна","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Отвори барање за повлекување","localConversationPage.createPrModal.successTitle":"Барањето за повлекување е креирано","localConversationPage.createPrModal.title":"Креирај барање за повлекување","localConversationPage.createPrModal.viewDescription":"Веќе постои барање за повлекување за оваа гранка.","localConversationPage.createPrModal.viewTitle":"Барањето за повлекување е подготвено","localConversationPage.createPullRequestAuthGh":"Автентицирај GitHub CLI: изврши `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Информациите за гранката се недостапни","localConversationPage.createPullRequestButtonLabel":"Креирај PR","localConversationPage.createPullRequestButtonLabel.loading":"Се креира PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Информациите за стандардната гранка се недостапни","localConversationPage.createPullRequestError":"Не успеа да се креира барање за повлекување","localConversationPage.createPullRequestExistingPullRequest":"Веќе постои барање за повлекување за оваа гранка","localConversationPage.createPullRequestGhStatusMissing":"Вчитување на статусот на GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Инсталирај GitHub CLI (gh) за да креираш барања за повлекување","localConversationPage.createPullRequestNoRepo":"Не е пронајдено git складиште","localConversationPage.createPullRequestPushStatusMissing":"Вчитување на статусот на притискање…","localConversationPage.createPullRequestSetUpstream":"Притисни ја оваа гранка пред да креираш барање за повлекување","localConversationPage.createPullRequestSuccessToast":"Барањето за повлекување е креирано","localConversationPage.createPullRequestSwitchBranch":"Провери ја гранката на функции пред да креираш барање за повлекување","localConversationPage.error.render":"Грешка при прикажување на локалниот разговор","localConversationPage.error.toast":"Разговорот не е пронајден","localConversationPage.forcePushError":"Не успеа присилното притискање","localConversationPage.generatePullRequestMessageError":"Неуспешно генерирање на насловот и телото на барањето за повлекување","localConversationPage.generatePullRequestMessageFailed":"Неуспешно генерирање на насловот и телото на барањето за повлекување.","localConversationPage.gitActionResult.branch":"Гранка","localConversationPage.gitActionResult.cancel":"Откажи","localConversationPage.gitActionResult.close":"Затвори","localConversationPage.gitActionResult.tryAgain":"Обиди се повторно","localConversationPage.gitActions":"Дејства на Git","localConversationPage.newChat":"Нов разговор","localConversationPage.openInTarget":"Отвори во","localConversationPage.openPrimaryTarget":"Отвори","localConversationPage.planItemsCompleted":"{completedItems} од {totalItems, plural, one {# завршени задачи} other {# завршени задачи}}","localConversationPage.pushAuthError":"Притискањето не успеа: потребна е автентикација","localConversationPage.pushBranchMissing":"Информациите за гранката се недостапни","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Се притиска...","localConversationPage.pushError":"Неуспешно притискање на промените","localConversationPage.pushModal.branchLabel":"Гранка","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Откажи","localConversationPage.pushModal.confirm":"Притисни","localConversationPage.pushModal.description":"Притисни ги твоите најнови извршувања во оддалеченото складиште.","localConversationPage.pushModal.errorTitle":"Притискањето не успеа","localConversationPage.pushModal.forcePush":"Присили притискање","localConversationPage.pushModal.successTitle":"Притискањето е завршено","localConversationPage.pushModal.title":"Притисни промени","localConversationPage.pushModal.tryAgain":"Обиди се повторно","localConversationPage.pushNoUpstream":"Постави upstream пред да ја притиснеш оваа гранка","localConversationPage.pushNoUpstreamError":"Притискањето не успеа: не е конфигурирано upstream","localConversationPage.pushNothingToPush":"Нема нови извршувања за притискање","localConversationPage.pushRemoteChangedError":"Притискањето не успеа: далечинските имаат нови извршувања","localConversationPage.pushRemoteRejectedError":"Притискањето е одбиено од далечинското","localConversationPage.pushStatusMissing":"Вчитување на статусот на притискање…","localConversationPage.pushSuccessToast":"Промените се пренесени","localConversationPage.viewPullRequestButtonLabel":"Види барање за повлекување","localConversationPage.viewPullRequestButtonLabel.loading":"Барањето за повлекување се вчитува…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# датотека} other {# датотеки}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# листа} other {# листи}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# пребарување} other {# пребарувања}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Истражување","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Истражено","localConversationTurn.exploration.accordion.header.complete.withCounts":"Истражено {counts}","localConversationTurnStory.showContent":"Прикажи ја содржината","localConversationTurnStory.streamContent":"Пренесувај ја содржината","localConversationTurnStory.toggleReasoning":"Прикажи го расудувањето","localTaskRow.archiveError":"Неуспешно архивирање на разговорот","localTaskRow.resumeError":"Неуспешно продолжување на задачата","mermaidDiagram.ariaLabel":"Дијаграм на сирена","mermaidDiagram.copySource":"Копирај mermaid","mermaidDiagram.originalCode":"Изворен код на сирена","notifications.permissions.description":"Прикажи известувања кога се потребни дозволи за известувања","notifications.permissions.label":"Овозможи известувања за дозволи","notifications.turnMode.always":"Секогаш","notifications.turnMode.description":"Постави кога Codex ќе те извести дека е завршено","notifications.turnMode.label":"Известувања за завршување на свртувањето","notifications.turnMode.off":"Никогаш","notifications.turnMode.unfocused":"Само кога не е фокусирано","patchApprovalRequest.approve":"Одобри","patchApprovalRequest.menu.allowAlways":"Да, и не прашувај повторно оваа сесија","patchApprovalRequest.menu.allowForSession":"Да, и не прашувај повторно оваа сесија","patchApprovalRequest.menu.allowOnce":"Да","patchApprovalRequest.prompt":"Сакаш да ги направиш овие промени?","patchApprovalRequest.reject":"Не","patchApprovalRequest.waitingForApproval":"Се чека одобрување за уредување на датотеки","pendingRequest.approvalExec.collapse":"Сокриј","pendingRequest.approvalExec.expand":"Прошири","pendingRequestStory.toastAnswer":"Одговори: {answer}","pendingRequestStory.toastApprovalTitle":"Одговор за одобрување","pendingRequestStory.toastFollowupPrompt":"Промпт: {prompt}","pendingRequestStory.toastFollowupTitle":"Проследувањето е испратено","pendingRequestStory.toastNoAnswers":"Не се дадени одговори","pendingRequestStory.toastQuestion":"Прашање: {question}","pendingRequestStory.toastUnknownDecision":"Непознато","pendingRequestStory.toastUserInputTitle":"Поднесени одговори","quickAction.request.codeReview.branches.new":"Прегледај ги промените на {from} во однос на {to}","quickAction.request.codeReview.uncommitted.new":"Прегледај ги моите неизвршени промени","reasoningItem.thinking":"Размислува","reasoningItem.thought":"Размислено","reasoningItem.thoughtWithElapsed":"Размислено за {elapsed}","recentConversations.title":"Неодамнешни разговори","recentTasks.worktreeInitFailedTitle":"Иницијализацијата на работното дрво не успеа","recentTasks.worktreeSettingUpTitle":"Поставување на работно дрво","requestInputPanel.continue":"Продолжи","requestInputPanel.dismiss":"Отфрли","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Пишувај тука","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Не, и кажи му на Codex што да направи различно","requestInputPanel.selectedBadge":"Избрано","requestInputPanel.skip":"Прескокни","requestInputPanel.submit":"Поднеси","review.commit.ariaLabel.includeUnstaged":"Вклучи неподготвени","review.commit.buttonLabel":"Изврши","review.commit.disabled.committing":"Извршување…","review.commit.disabled.loadingDiff":"Се вчитуваат про…","review.commit.disabled.missingContext":"Додај малку контекст за генерирање порака за извршување","review.commit.disabled.noChanges":"Нема промени за извршување","review.commit.disabled.noSelection":"Избери промени за извршување","review.commit.disabled.unavailable":"Извршувањето не е достапно во моментов","review.commit.error":"Неуспешно извршување на промените","review.commit.form.changesToBeCommitted":"Промени","review.commit.form.commitTo":"Гранка","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Продолжи","review.commit.form.title":"Изврши ги твоите промени","review.commit.generate.emptyResponse":"Не можеше да се генерира порака за извршување.","review.commit.generate.failed":"Неуспешно генерирање порака за извршување: {error}","review.commit.generate.missingPrompt":"Додај малку контекст за генерирање на порака за извршување.","review.commit.includeUnstaged":"Вклучи неподготвени","review.commit.loading.description":"Почекај, ова може да потрае неколку моменти…","review.commit.loading.step.commit.done":"Извршени промени","review.commit.loading.step.commit.pending":"Вршење промени","review.commit.loading.step.createPr.done":"Креирано е барање за повлекување","review.commit.loading.step.createPr.pending":"Барањето за повлекување се креира","review.commit.loading.step.push.done":"Притиснато кон гранка {branch}","review.commit.loading.step.push.pending":"Притискање на гранка {branch}","review.commit.loading.title.commit":"Вршење промени","review.commit.loading.title.createPr":"Барањето за повлекување се креира","review.commit.loading.title.push":"Притискање на промени","review.commit.messageLabel":"Порака за извршување","review.commit.messagePlaceholder":"Остави празно за автоматско генерирање на порака за извршување","review.commit.nextSteps":"Следни чекори","review.commit.nextSteps.commit":"Изврши","review.commit.nextSteps.commitAndCreate":"Изврши и креирај барање за повлекување","review.commit.nextSteps.commitAndPush":"Изврши и притисни","review.commit.nextSteps.prRequiresGh":"Бара GitHub CLI: {command}","review.commit.rows.changes":"Промени","review.commit.rows.commitCount":"{count, plural, one {# извршување} other {# извршувања}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# извршување} other {# извршувања}} и {stats}","review.commit.rows.fileCount":"{count, plural, one {# датотека} other {# датотеки}}","review.commit.state.error.body":"Нешто тргна наопаку при извршувањето. Провери го статусот на git и обиди се повторно.","review.commit.state.error.title":"Извршувањето не успеа","review.commit.state.success.title":"Промените се извршени","review.commit.untracked.loadingStats":"Се вчитуваат неследени статистики за разлики…","reviewFindingAttachments.count":"{count, plural, one {# наод} other {# наоди}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Уреди ја твојата конфигурација за да го прилагодиш однесувањето на агентот","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"Рестартирај го Codex по уредувањето за да ги примениш промените","settings.agent.configuration.subtitle":"Овие поставки важат секаде каде што се користи Codex.","settings.automations.banner.danger":"Автоматизациите работат со твоите стандардни поставки за песочник, кои моментално се поставени на целосен пристап. Извршувањето на автоматизации во позадина со целосен пристап носи зголемен ризик, бидејќи Codex може да менува датотеки, да извршува команди и да пристапува до мрежата без да праша. Размисли за ажурирање на поставките за песочник на запишување во работен простор и користење <rulesDocsLink>правила</rulesDocsLink> за селективно дефинирање кои команди агентот може да ги извршува со целосен пристап.","settings.automations.banner.defaultHowTo.default":"Автоматизациите се извршуваат со твоите стандардни поставки за песочник. Повиците на алатките нема да успеат ако бараат менување на датотеки надвор од работниот простор, пристап до мрежа или работа со апликации на твојот компјутер. Можеш селективно да дозволиш команди на листата да се извршуваат надвор од песочникот користејќи <rulesDocsLink>правила</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Автоматизациите работат со твоите стандардни поставки за песочник, кои се поставени на „само за читање“. Повиците на алатките нема да успеат ако бараат менување на датотеки, пристап до мрежа или работа со апликации на твојот компјутер. Размисли за ажурирање на поставките за песочник на пишување во работен простор.","settings.automations.cancel":"Откажи","settings.automations.create":"Креирај","settings.automations.cwdEmpty":"Нема достапни папки на проекти","settings.automations.cwdLabel":"Проекти","settings.automations.cwdPlaceholder":"Избери папка","settings.automations.cwdSubtitle":"Ако сакаш автоматизација да се извршува на одредена гранка, можеш да ја наведеш во твојот промпт.","settings.automations.delete":"Избриши","settings.automations.dialog.editTitle":"Уреди автоматизација","settings.automations.dialog.newTitle":"Нова автоматизација","settings.automations.dialog.subtitle":"Автоматизирај ги повторувачките задачи во позадина. Codex додава наоди во приемното сандаче или автоматски ја архивира задачата ако нема ништо за пријавување. <learnMoreLink>Дознај повеќе</learnMoreLink>","settings.automations.dialog.title":"Креирај автоматизација","settings.automations.executionCopy.git":"Автоматизациите работат во позадина на наменски работни дрва.","settings.automations.executionCopy.nonGit":"Автоматизациите во проекти кои не се контролирани од верзии се извршуваат директно во именикот на проектот. Размисли за користење на Git за да овозможиш извршување на работни дрва во позадина.","settings.automations.executionEnvironment.local":"Локално","settings.automations.executionEnvironment.worktree":"Работно дрво","settings.automations.loading":"Се вчитува…","settings.automations.nameLabel":"Име","settings.automations.namePlaceholder":"Провери за проблеми со стражарот","settings.automations.pause":"Пауза","settings.automations.promptLabel":"Промпт","settings.automations.promptPlaceholder":"барај падови во $Sentry","settings.automations.resume":"Продолжи","settings.automations.rruleSummaryFallback":"Прилагоден распоред","settings.automations.runNow":"Тестирај","settings.automations.save":"Зачувај","settings.automations.scheduleBadge.dayCount":"{count} д.","settings.automations.scheduleBadge.interval":"{count} ч.","settings.automations.scheduleBadge.weekdays":"Работни денови","settings.automations.scheduleBadge.weekends":"Викенди","settings.automations.scheduleHeader":"Распоред","settings.automations.scheduleHours":"часа","settings.automations.scheduleLabel":"Изврши на секои","settings.automations.scheduleMode.daily":"Дневно","settings.automations.scheduleMode.interval":"Интервал","settings.automations.scheduleModeLabel":"Тип на распоред","settings.automations.scheduleSummary.daily":"Дневно во {time}","settings.automations.scheduleSummary.interval":"Секои {count} ч.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ден} other {# денови}}","settings.automations.scheduleSummary.intervalDays":"{interval} на {days}","settings.automations.scheduleSummary.intervalHourly":"Часовно","settings.automations.scheduleSummary.singleDay":"{day} во {time}","settings.automations.scheduleSummary.weekdays":"Работни денови во {time}","settings.automations.scheduleSummary.weekdaysLabel":"работни денови","settings.automations.scheduleSummary.weekends":"Викенди во {time}","settings.automations.scheduleSummary.weekendsLabel":"викенди","settings.automations.scheduleSummary.weekly":"{days} во {time}","settings.automations.scheduleWeekdays":"Вклучено","settings.automations.weekdayState.excluded":"Исклучено","settings.automations.weekdayState.included":"Вклучено","settings.conversationDetail.steps":"Чекори","settings.conversationDetail.steps.description":"Сокриј команди и резултати","settings.conversationDetail.stepsWithCommands":"Чекори со команди за код","settings.conversationDetail.stepsWithCommands.description":"Прикажи команди, сокриј го резултатот","settings.conversationDetail.stepsWithOutput":"Чекори со резултат од код","settings.conversationDetail.stepsWithOutput.description":"Прикажи команди и прошири го резултатот","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Нема архивирани разговори.","settings.dataControls.archivedChats.error":"Не можеше да се вчитаат архивираните разговори.","settings.dataControls.archivedChats.loading":"Се вчитуваат архивираните разговори...","settings.dataControls.archivedChats.unarchive":"Одархивирај","settings.dataControls.archivedChats.unarchiveError":"Одархивирањето на разговорот не успеа","settings.dataControls.archivedChats.unarchiveSuccess":"Одархивирана нишка. <viewNowLink> Види сега</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Неархивирана нишка.","settings.dataControls.archivedChats.untitled":"Разговор без наслов","settings.dataControls.archivedChats.viewNow":"Прикажи сега","settings.editRow.headerPlaceholder":"Клуч","settings.editRow.removeEntry":"Отстрани внесување","settings.editRow.valuePlaceholder":"Вредност","settings.general.appearance":"Изглед","settings.general.appearance.codeFont":"Фонт на кодот","settings.general.appearance.codeFont.description":"Прилагоди ги фонтот и големината што се користат за кодот низ разговорите и разликите","settings.general.appearance.codeFontFamily":"Семејство на фонтови на код","settings.general.appearance.codeFontSize":"Големина на фонтот на кодот","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Направи Windows да користи полна заднина наместо системска полупроѕирност","settings.general.appearance.opaqueWindows.label":"Користи непроѕирна заднина на прозорец","settings.general.appearance.sansFontFamily":"Семејство на фонтови Sans","settings.general.appearance.sansFontFamily.description":"Прилагоди го фонтот што се користи за корисничкиот интерфејс на Codex","settings.general.appearance.sansFontSize":"Големина на фонтот Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Прикажи ефекти на прослава во целиот прозорец додека GPT-5.3-Codex-Spark го извршува првиот круг","settings.general.appearance.sparkCelebrationEffects.label":"Ефекти на прослава на Spark","settings.general.appearance.theme":"Тема","settings.general.appearance.theme.dark":"Темно","settings.general.appearance.theme.description":"Користи светло, темно или усогласи го твојот систем","settings.general.appearance.theme.light":"Светло","settings.general.appearance.theme.system":"Систем","settings.general.appearance.usePointerCursors.description":"Промени го курсорот во покажувач при лебдење над интерактивни елементи","settings.general.appearance.usePointerCursors.label":"Користи курсори покажувачи","settings.general.enterBehavior.description":"Kога ќе се овозможи, повеќередните промптови бараат {modifierSymbol} + enter за праќање.","settings.general.enterBehavior.label":"Побарај {modifierSymbol} + enter за праќање долги промптови","settings.general.experimentalFeatures":"Експериментални функции (Beta)","settings.general.experimentalFeatures.empty":"Нема достапни beta експериментални функции.","settings.general.experimentalFeatures.loading":"Се вчитуваат експериментални функции…","settings.general.experimentalFeatures.restartNote":"Рестартирај го Codex за да ги примениш промените во експерименталните функции","settings.general.experimentalFeatures.toggle":"Вклучи/исклучи {featureName}","settings.general.followUpQueueMode.description":"Нареди на чекање проследувања додека Codex работи или насочи го тековното извршување. Притисни {invertFollowUpShortcutLabel} за да го направиш спротивното за една порака.","settings.general.followUpQueueMode.interrupt":"Управувај","settings.general.followUpQueueMode.label":"Следење на однесувањето","settings.general.followUpQueueMode.queue":"Ред на чекање","settings.general.notifications":"Известувања","settings.general.power.preventSleepWhileRunning.description":"Држи го компјутерот активен додека Codex извршува нишка.","settings.general.power.preventSleepWhileRunning.label":"Спречи нирување при извршување","settings.git.branchPrefix.ariaLabel":"Префикс на гранка","settings.git.branchPrefix.description":"Префикс што се користи при креирање нови гранки во Codex","settings.git.branchPrefix.label":"Префикс на гранка","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Неуспешно зачувување на префиксот на гранката","settings.git.branchPrefix.save.success":"Зачуван префикс на гранка","settings.git.commitInstructions.ariaLabel":"Изврши ги упатствата","settings.git.commitInstructions.description":"Додадено во промптови за генерирање порака за извршување","settings.git.commitInstructions.label":"Изврши ги упатствата","settings.git.commitInstructions.placeholder":"Додај насоки за порака за извршување...","settings.git.commitInstructions.save":"Зачувај","settings.git.commitInstructions.save.error":"Неуспешно зачувување на упатствата за извршување","settings.git.commitInstructions.save.success":"Зачувани се упатствата за извршување","settings.git.forcePush.ariaLabel":"Секогаш присили притискање","settings.git.forcePush.description":"Користи --force-with-lease при притискање од Codex","settings.git.forcePush.label":"Секогаш присили притискање","settings.git.forcePush.save.disabled":"Секогаш присили притискање е оневозможено","settings.git.forcePush.save.enabled":"Секогаш присили притискање е овозможено","settings.git.forcePush.save.error":"Неуспешно зачувување на поставката за присилно притискање","settings.git.prInstructions.ariaLabel":"Упатства за барањето за повлекување","settings.git.prInstructions.description":"Додадено на телата од барањето за повлекување создадени со Codex","settings.git.prInstructions.label":"Упатства за барањето за повлекување","settings.git.prInstructions.placeholder":"Додај насоки за барањето за повлекување","settings.git.prInstructions.save":"Зачувај","settings.git.prInstructions.save.error":"Неуспешно зачувување на упатствата за барањето за повлекување","settings.git.prInstructions.save.success":"Зачувани се упатствата за барањето за повлекување","settings.ide.defaultOpenTarget.description":"Каде датотеките и папките стандардно се отвораат","settings.ide.defaultOpenTarget.label":"Стандардна дестинација на отварање","settings.ide.defaultOpenTarget.placeholder":"Не се најдени цели","settings.ide.language.auto":"Автоматско откривање","settings.ide.language.autoOption":"Автоматско откривање","settings.ide.language.description":"Јазик за корисничкиот интерфејс на апликацијата","settings.ide.language.label":"Јазик","settings.ide.language.search":"Пребарај јазици","settings.layout.actionButton":"Рестартирај проширување","settings.layout.actionTitle":"Поставки со дејство","settings.layout.fullWidthTitle":"Поставки (цела ширина)","settings.layout.title":"Поставки","settings.localEnvironments.actions.add":"Додај дејство","settings.localEnvironments.actions.add.description":"Креирај нова команда за извршување од лентата со алатки.","settings.localEnvironments.actions.add.save":"Зачувај","settings.localEnvironments.actions.empty":"Додај дејство за извршување на команди од локалната лента со алатки.","settings.localEnvironments.actions.icon.debug":"Отстрани ги грешките","settings.localEnvironments.actions.icon.run":"Пушти","settings.localEnvironments.actions.icon.test":"Тестирај","settings.localEnvironments.actions.icon.tool":"Алатка","settings.localEnvironments.actions.item.button.delete":"Избриши","settings.localEnvironments.actions.item.command":"Скрипта за дејство","settings.localEnvironments.actions.item.name":"Име","settings.localEnvironments.actions.item.platforms":"Платформи","settings.localEnvironments.actions.item.platforms.help":"Работи само на одреден оперативен систем.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Избор на платформа","settings.localEnvironments.actions.item.platforms.specific":"Специфично за платформата","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Избриши","settings.localEnvironments.actions.title":"Дејства","settings.localEnvironments.breadcrumb.back":"Назад","settings.localEnvironments.breadcrumb.edit":"уреди","settings.localEnvironments.breadcrumb.root":"Околини","settings.localEnvironments.environment.actions.description":"Овие дејства можат да извршат која било команда и ќе бидат прикажани во заглавието.","settings.localEnvironments.environment.actionsLabel":"Дејства","settings.localEnvironments.environment.create":"Креирај локална околина","settings.localEnvironments.environment.defaultName":"локална","settings.localEnvironments.environment.edit":"Уреди локална околина","settings.localEnvironments.environment.empty":"Сè уште не е конфигурирана локална околина за овој проект.","settings.localEnvironments.environment.name":"Име","settings.localEnvironments.environment.setup":"Скрипта за поставување","settings.localEnvironments.environment.setup.description":"Оваа скрипта ќе се извршува при креирање на работно дрво.","settings.localEnvironments.environment.setup.hint":"Работи во коренот на проектот.","settings.localEnvironments.environment.setup.platformOverrides":"Заменувања на платформата","settings.localEnvironments.environment.setup.platformOverrides.add":"Додај {platform} скрипта за поставување","settings.localEnvironments.environment.setup.platformOverrides.description":"Ја заменува стандардната скрипта за одредени оперативни системи.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Отстрани","settings.localEnvironments.environment.setup.script":"Скрипта","settings.localEnvironments.environment.title":"Детали за околина","settings.localEnvironments.file.missing":"Зачувај за да ја креираш оваа датотека за прв пат.","settings.localEnvironments.file.parseError":"Не може да се разложи постоечката датотека. Зачувувањето ќе ја презапише. ({error})","settings.localEnvironments.file.path":"Датотека: {path}","settings.localEnvironments.file.readError":"Не успеаја да се вчитаат податоците за локалната околина. ({error})","settings.localEnvironments.file.title":"Датотека за локална околина","settings.localEnvironments.loading.body":"Преземање на конфигурацијата на твојот проект.","settings.localEnvironments.loading.title":"Вчитување на локални околини","settings.localEnvironments.preview.devOnly":"(Само за развивачи)","settings.localEnvironments.preview.save":"Зачувај","settings.localEnvironments.preview.saveError":"Не успеа да се зачува датотеката. ({error})","settings.localEnvironments.preview.title":"Преглед","settings.localEnvironments.save.disabled.name":"Додај име на околина за да се зачува.","settings.localEnvironments.save.disabled.noChanges":"Нема промени што треба да се зачуваат.","settings.localEnvironments.save.disabled.saving":"Се зачувува…","settings.localEnvironments.save.success":"Зачувана локална околина","settings.localEnvironments.unavailable.body":"Не можевме да ги вчитаме поставките за локалната околина за овој проект.","settings.localEnvironments.unavailable.title":"Локалните околини се недостапни","settings.localEnvironments.workspace.add":"Додај проект","settings.localEnvironments.workspace.title":"Проект","settings.localEnvironments.workspaceSelect.addLabel":"Додај околина","settings.localEnvironments.workspaceSelect.description":"Локалните околини му кажуваат на Codex како да постави работни дрва за проект. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Сè уште нема проекти. Додај еден за да конфигурираш локални околини.","settings.localEnvironments.workspaceSelect.errorLabel":"На околината ѝ треба внимание","settings.localEnvironments.workspaceSelect.learnMore":"Дознај повеќе","settings.localEnvironments.workspaceSelect.listLabel":"Достапни проекти","settings.localEnvironments.workspaceSelect.loading":"Се вчитуваат проекти.","settings.localEnvironments.workspaceSelect.loadingLabel":"Вчитување на околина","settings.localEnvironments.workspaceSelect.title":"Избери проект","settings.localEnvironments.workspaceSelect.viewAction":"Види","settings.mcp.addServer":"Додај сервер","settings.mcp.app.configure":"Конфигурирај","settings.mcp.app.connect":"Поврзи се","settings.mcp.apps.refresh":"Освежи","settings.mcp.detail.addArgument":"Додај аргумент","settings.mcp.detail.addEnvVar":"Додај променлива на околината","settings.mcp.detail.addEnvVarPassthrough":"Додај променлива","settings.mcp.detail.args":"Аргументи","settings.mcp.detail.back":"Назад","settings.mcp.detail.command":"Команда за стартување","settings.mcp.detail.cwd":"Работен именик","settings.mcp.detail.docs":"Отвори MCP документација","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"Пропуст на променлива на околина","settings.mcp.detail.envVars":"Променливи на околината","settings.mcp.detail.http.addEnvHeader":"Додај променлива","settings.mcp.detail.http.addHeader":"Додај заглавие","settings.mcp.detail.http.bearerToken":"Променлива на околината на токен на носител","settings.mcp.detail.http.envHeaders":"Заглавија од променливи на околината","settings.mcp.detail.http.headers":"Заглавија","settings.mcp.detail.http.url":"URL-референца","settings.mcp.detail.name":"Име","settings.mcp.detail.save":"Зачувај","settings.mcp.detail.switchTransportNotice":"Ако сакаш да го промениш типот на MCP сервер, прво деинсталирај го.","settings.mcp.detail.titleExisting":"Ажурирај го {name} MCP","settings.mcp.detail.titleNew":"Поврзи на прилагоден MCP","settings.mcp.detail.transport.http":"HTTP што може да се пренесува","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Одинсталирај","settings.mcp.empty":"Нема поврзани прилагодени MCP сервери","settings.mcp.myServers":"Прилагодени сервери","settings.mcp.partnerServer.description.figma":"Генерирај подобар код со внесување на целосен контекст на Figma","settings.mcp.partnerServer.description.github":"Интегрирај со GitHub APIs за автоматизирање на работните процеси и извлекување податоци","settings.mcp.partnerServer.description.linear":"Интегрирај со следењето на проблеми и управувањето со проекти на Linear","settings.mcp.partnerServer.description.notion":"Читај документи, ажурирај страници, управувај со задачи","settings.mcp.partnerServer.description.playwright":"Интегрирај автоматизација на прелистувачот за да имплементираш дизајн и тестирање на кориснички интерфејс.","settings.mcp.partnerServer.install":"Инсталирај","settings.mcp.partnerServer.installAndAuthenticate":"Инсталирај и автентицирај","settings.mcp.partnerServer.logoAlt":"Лого на {label}","settings.mcp.partnerServer.manage":"Управувај","settings.mcp.partnerServer.vendor":"од {vendor}","settings.mcp.recommendedServers":"Препорачани сервери","settings.mcp.restartApp":"Рестартирај","settings.mcp.restartExtension":"Рестартирај проширување","settings.mcp.server.enable":"Овозможи","settings.mcp.server.login":"Автентицирај","settings.mcp.server.settings":"Поставки","settings.multiselect.createOption":"Креирај „{value}“","settings.multiselect.removeOption":"Отстрани","settings.nav.account":"Сметка","settings.nav.agent":"Конфигурација","settings.nav.ariaLabel":"Поставки","settings.nav.back":"Назад кон апликацијата","settings.nav.data-controls":"Архивирани нишки","settings.nav.environments":"Околини на облак","settings.nav.externalTooltip":"[alpha] Се отвора во прелистувач","settings.nav.general-settings":"Општо","settings.nav.git-settings":"Git","settings.nav.local-environments":"Околини","settings.nav.mcp-settings":"MCP-сервери","settings.nav.notImplemented":"[alpha] Недостапно во Alpha","settings.nav.personalization":"Персонализација","settings.nav.skills-settings":"Вештини","settings.nav.usage-analytics":"Користење и аналитика","settings.nav.worktrees":"Работни дрва","settings.openSourceLicenses.back":"Назад","settings.openSourceLicenses.loading":"Се вчитува…","settings.openSourceLicenses.missing":"Не се најдени известувања од трети лица.","settings.openSourceLicenses.notSupported":"Недостапно во овој домаќин","settings.openSourceLicenses.rowDescription":"Известувања од трети лица за поврзани зависности ","settings.openSourceLicenses.rowLabel":"Лиценци со отворен извор","settings.openSourceLicenses.subtitle":"Известувања од трети лица за зависности вклучени во оваа апликација","settings.openSourceLicenses.title":"Лиценци со отворен извор","settings.openSourceLicenses.view":"Види","settings.personalization.agents.description":"Уредувај упатства што го прилагодуваат Codex на тебе. {learnMore}","settings.personalization.agents.learnMore":"Дознај повеќе","settings.personalization.agents.loadError":"Не може да се вчита agents.md.","settings.personalization.agents.loading":"Се вчитува agents.md…","settings.personalization.agents.placeholder":"Додај твои прилагодени упатства…","settings.personalization.agents.retry":"Обиди се повторно","settings.personalization.agents.save":"Зачувај","settings.personalization.agents.save.error":"Не може да се зачува agents.md","settings.personalization.agents.save.success":"Зачувано agents.md","settings.personalization.agents.title":"Прилагодени упатства","settings.personalization.personality.description":"Избери стандарден тон за одговорите на Codex","settings.personalization.personality.label":"Карактер","settings.sample.contentBody":"Користи го овој распоред за да ги составиш панелите со поставки со конзистентно растојание.","settings.sample.contentTitle":"Примерок блок со содржина","settings.section.account":"Сметка","settings.section.agent":"Конфигурација","settings.section.data-controls":"Архивирани нишки","settings.section.environments":"Околини на облак","settings.section.external":"Се отвора во твојот прелистувач за време на Alpha","settings.section.general-settings":"Општо","settings.section.git-settings":"Git","settings.section.local-environments":"Околини","settings.section.mcp-settings":"MCP-сервери","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"Поврзи надворешни алатки и извори на податоци.","settings.section.personalization":"Персонализација","settings.section.skills-settings":"Вештини","settings.section.unavailable":"Сè уште не е достапно во Alpha","settings.section.usage-analytics":"Користење и аналитика","settings.section.worktrees":"Работни дрва","settings.threadDetail.description":"Избери колку резултат од командата да се прикаже во нишките","settings.threadDetail.label":"Детали од нишка","settings.worktrees.conversation.untitled":"Разговор без наслов","settings.worktrees.delete.error":"Неуспешно бришење на работното дрво","settings.worktrees.empty.body":"Работните дрва креирани од Codex ќе се појават тука.","settings.worktrees.empty.title":"Сè уште нема работни дрва","settings.worktrees.error.body":"Нешто тргна наопаку при вчитувањето на работните дрва.","settings.worktrees.error.retry":"Обиди се повторно","settings.worktrees.error.title":"Не може да се вчитаат работните дрва","settings.worktrees.loading.body":"Се преземаат деталите за работното дрво.","settings.worktrees.loading.title":"Вчитување на работни дрва","settings.worktrees.repository.loading":"Вчитување на метаподатоците од складиштето…","settings.worktrees.repository.unknown":"Непознато складиште","settings.worktrees.row.conversations":"Разговори","settings.worktrees.row.conversations.empty":"Нема разговори поврзани со ова работно дрво.","settings.worktrees.row.conversations.loading":"Вчитување на разговорите…","settings.worktrees.row.delete":"Избриши","settings.worktrees.row.title":"Работно дрво","sidebarElectron.addWorkspaceRoot":"Додај нов проект","sidebarElectron.archiveThread":"Архивирај нишка","sidebarElectron.archiveThreadError":"Неуспешно архивирање на нишката","sidebarElectron.collapseFolder":"Сокриј папка","sidebarElectron.createStableWorktree.dialog.cancel":"Откажи","sidebarElectron.createStableWorktree.dialog.create":"Креирај","sidebarElectron.debugNavLink":"Отстрани ги грешките","sidebarElectron.editWorkspaceRootOptionName":"Уреди име","sidebarElectron.expandFolder":"Прошири папка","sidebarElectron.groupByMenu.recency":"Хронолошка листа","sidebarElectron.groupByMenu.title":"Организирај","sidebarElectron.groupByMenu.workspace":"По проект","sidebarElectron.inboxRouteNavLink":"Автоматизации","sidebarElectron.markThreadUnread":"Означи како непрочитано","sidebarElectron.missingWorkspaceRoot":"Оваа папка на проектот беше избришана или преместена","sidebarElectron.newThread":"Нова нишка","sidebarElectron.newThreadInGroup":"Почни нова нишка во {folder}","sidebarElectron.noRecentThreads":"Нема неодамнешни теми","sidebarElectron.noTasks":"Нема нишки","sidebarElectron.noTasks.start":"Додај нов проект","sidebarElectron.noTasksWithFilter":"Нема нишки што се совпаѓаат со филтрите","sidebarElectron.pinnedThreads":"Означени нишки","sidebarElectron.recentNavLink":"Threads","sidebarElectron.recentThreads":"Неодамнешни теми","sidebarElectron.removeWorkspaceRootOption":"Отстрани","sidebarElectron.renameThread":"Преименувај нишка","sidebarElectron.renameThreadDialogAriaLabel":"Наслов на нишката","sidebarElectron.renameThreadDialogCancel":"Откажи","sidebarElectron.renameThreadDialogPlaceholder":"Додај наслов…","sidebarElectron.renameThreadDialogSave":"Зачувај","sidebarElectron.renameThreadDialogSubtitle":"Нека е кратко и препознатливо.","sidebarElectron.renameThreadDialogTitle":"Преименувај нишка","sidebarElectron.renameThreadError":"Неуспешно преименување на нишката","sidebarElectron.renameWorkspaceRootOptionLabel":"Прикажи име","sidebarElectron.showLess":"Прикажи помалку","sidebarElectron.showMenu.all":"Сите нишки","sidebarElectron.showMenu.relevant":"Важно","sidebarElectron.showMenu.relevantHint":"Прикажи ги само неодамнешните нишки за сегашните гранка, работни дрва, или други нишки на кои треба да им посветиш внимание","sidebarElectron.showMenu.title":"Прикажи","sidebarElectron.showMenu.tooltip":"Филтрирај, сортирај и организирај нишки","sidebarElectron.showMenu.trigger":"Филтрирај нишки на странична лента","sidebarElectron.showMore":"Прикажи повеќе","sidebarElectron.skillsRouteNavLink":"Вештини","sidebarElectron.sortMenu.created":"Креирано","sidebarElectron.sortMenu.title":"Сортирај по","sidebarElectron.sortMenu.updated":"Ажуриран","sidebarElectron.taskNavigation":"Папки за автоматизација","sidebarElectron.tasksInFolder":"Автоматизации во {folder}","sidebarElectron.workspaceOptions":"Проектни дејства за {folder}","sidebarElectron.worktreeGroupTooltip":"Ова е работно дрво на git","skills.appsPage.createSkill":"Нова вештина","skills.appsPage.empty.skills":"Не се пронајдени вештини","skills.appsPage.search.skills":"Пребарај вештини","skills.appsPage.search.skills.label":"Пребарај вештини","skills.appsPage.section.installedApps":"Инсталирано","skills.appsPage.section.skills":"Вештини","skills.appsPage.subheading":"Дај му на Codex супермоќи.<link>Дознај повеќе</link>","skills.appsPage.tab.recommended":"Препорачано","skills.appsPage.tab.skills":"Вештини","skills.card.contentsError":"Не може да се вчита содржината на вештината.","skills.card.disable":"Оневозможи","skills.card.disableSuccess":"{skillName} вештина е оневозможена","skills.card.disabledBadge":"Оневозможено","skills.card.enable":"Овозможи","skills.card.enableSuccess":"{skillName} вештина е овозможена","skills.card.loadingContents":"Вчитување на содржината на вештината...","skills.card.more":"Повеќе дејства","skills.card.open":"Отвори","skills.card.removeFailed":"Неуспешно одинсталирање на вештината","skills.card.removeSuccess":"{skillName} вештина е одинсталирана","skills.card.toggleEnabledError":"Неуспешно ажурирање на вештината","skills.card.try":"Пробај","skills.card.trySkill":"Пробај вештина","skills.card.uninstall":"Одинсталирај","skills.hero.dotLabel":"Оди на слајд {index}","skills.hero.next":"Следна истакната вештина","skills.hero.trySkill":"Пробај вештина","skills.page.createSkill":"Нова вештина","skills.page.empty":"Не се пронајдени вештини","skills.page.filteredEmpty":"Нема вештини што одговараат на твоите филтри","skills.page.filteredEmptyDescription":"Пробај да ги прилагодиш филтрите за пребарување или опсег","skills.page.heading":"Вештини","skills.page.loading":"Вчитување на вештини...","skills.page.refreshSkills":"Освежи","skills.page.refreshSkillsToUseNew":"Освежи за да користиш нови вештини","skills.page.search":"Пребарај вештини","skills.page.search.label":"Пребарај вештини","skills.page.subheading":"Дај му на Codex супермоќи.<link>Дознај повеќе</link>","skills.preview.copyPrompt":"Копирај барање","skills.preview.examplePrompt":"Пример промпт","skills.recommended.error":"Не може да се вчитаат препорачаните вештини","skills.recommended.install":"Инсталирај","skills.recommended.installSkill":"Инсталирај вештина","skills.recommended.installSuccess":"{skillName} вештина е инсталирана","skills.recommended.installed":"Инсталирано","skills.scope.admin":"Админ","skills.scope.adminInstalled":"Инсталирано од админ","skills.scope.builtIn":"Систем","skills.scope.personal":"Лично","skills.scope.repo":"Складиште","skills.scope.system":"Систем","skills.scope.team":"Тим","skills.scope.user":"Корисник","skills.section.installed":"Инсталирано","skills.section.recommended":"Препорачано","story.slidingToggle.existing":"Постоечка","story.slidingToggle.fromLocal":"Од локално","story.slidingToggle.new":"Ново","story.slidingToggle.toLocal":"До локално","terminal.close":"Затвори терминал","terminal.title":"Терминал","thinkingShimmer.default":"Размислува","threadEnvIcon.cloudTooltip":"Овој разговор се одвива во Codex Cloud.","threadEnvIcon.localTooltip":"Овој разговор се одвива локално.","threadEnvIcon.worktreeTooltip":"Овој разговор се извршува во локално работно дрво на git.","threadHeader.archiveConfirmCancel":"Откажи","threadHeader.archiveConfirmConfirm":"Архивирај","threadHeader.archiveConfirmSubtitle":"Можеш да ја најдеш подоцна во твоите архивирани нишки.","threadHeader.archiveConfirmTitle":"Архивирај нишка?","threadHeader.copyAppLink":"Копирај длабок линк","threadHeader.copySessionId":"Копирај ID на сесија","threadHeader.copyWorkingDirectory":"Копирај работен директориум","threadHeader.forkIntoLocal":"Разграни во локално","threadHeader.forkIntoWorktree":"Разграни во ново работно дрво","threadHeader.forkPendingWorktreePrompt":"Разграни го овој разговор во ново работно дрво.","threadHeader.forkPendingWorktreeTitle":"Разграни разговор","threadHeader.forkThreadError":"Неуспешно разгранување на задачата","threadHeader.forkThreadRequiresGitRepo":"За да се разграни во ново работно дрво потребно е git складиште","threadHeader.moreActions":"Дејства на нишка","threadPage.newThread":"Нова нишка","threadPage.runAction.changeEnvironment":"Промени ја околината","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} дејства","threadPage.runAction.environmentSelector.label":"Избери околина","threadPage.runAction.label":"Изврши","threadPage.runAction.missing.label":"Постави дејство за извршување","threadPage.runAction.setup.commandLabel":"Команда за извршување","threadPage.runAction.setup.description":"Кажи му на Codex како да инсталира зависности и да ја стартува твојата апликација.","threadPage.runAction.setup.editMore":"Поставки за околината","threadPage.runAction.setup.placeholder":"На пр.: npm install npm run","threadPage.runAction.setup.submit":"Зачувај и изврши","threadPage.runAction.setup.title":"Изврши","threadPage.runAction.tooltip.withEnvironment":"{environmentName} дејства","threadPage.toggleDiffPanel":"Вклучи/исклучи панел за разлики","threadPage.toggleTerminal":"Вклучи/исклучи терминал","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Отвори папка","toolSummaryForCmd.exploredFiles":"<verb>Наведени </verb> датотеки","toolSummaryForCmd.exploredFilesInPath":"<verb>Наведени</verb> датотеки во {path}","toolSummaryForCmd.exploringFiles":"<verb>Се наведуваат</verb> датотеки","toolSummaryForCmd.exploringFilesInPath":"<verb>Се наведуваат</verb> датотеки во {path}","toolSummaryForCmd.ranGenericCommand":"<status>Командата е извршена</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Извршено</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Прочитај</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Командата се извршува</status>{timer}","toolSummaryForCmd.runningTimer":"за {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Пребарано</verb> за {query}","toolSummaryForCmd.searchedForFiles":"<verb>Пребарано</verb> за датотеки","toolSummaryForCmd.searchedForInPath":"<verb>Пребарано</verb> за {query} во {path}","toolSummaryForCmd.searchingFor":"<verb>Се пребарува</verb> за {query}","toolSummaryForCmd.searchingForFiles":"<verb>Се пребарува</verb> за датотеки","toolSummaryForCmd.searchingForInPath":"<verb>Се пребарува</verb> за {query} во {path}","traceRecording.details.noteLabel":"Што правеше кога се случи ова? (опционално)","traceRecording.details.notePlaceholder":"Се движев на голема нишка, потоа постојано менував јазичиња…","traceRecording.details.submit":"Испрати трага","traceRecording.details.subtitle":"Можеме да ја испратиме оваа трага на профилот за да помогнеме во дијагностицирање на проблеми со перформансите.","traceRecording.details.title":"Испрати трага од профил?","traceRecording.progress.subtitle":"Држи го Codex отворен додека ова заврши.","traceRecording.saving.title":"Се зачувува трагата…","traceRecording.startDetails.cancel":"Откажи","traceRecording.startDetails.submit":"Во ред, почни со снимање","traceRecording.startDetails.subtitle":"Откако ќе кликнеш на ОК, репродуцирај го проблемот со перформансите, а потоа кликни на лебдечкиот црвен индикатор за да запреш и да ја прегледаш трагата.","traceRecording.startDetails.title":"Како функционира снимањето на траги","traceRecording.stopButton.ariaLabel":"Запри снимање на траги","traceRecording.upload.successToast":"Испратена е трага од профилот.","traceRecording.uploading.title":"Се прикачува трагата…","wham.diff.addComment":"Додај коментар","wham.diff.binaryFile":"Бинарната датотека не е прикажана","wham.diff.noContent":"Нема содржина","wham.fileTag.deleted":"Избришано","wham.fileTag.new":"Ново","wham.formattedRelativeDateTime.compactDaysAgo":"{value} денa","wham.formattedRelativeDateTime.compactHoursAgo":"{value} часа","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} минути","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} мес.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} нед.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} г.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Се работи на твојата задача","wham.whamProposedTask.title":"Предложена задача","wham.whamProposedTask.useSuggestion":"Користи предлог","workspaceRootDialog.addError":"Неуспешно додавање на проектот","workspaceRootDialog.cancel":"Откажи","workspaceRootDialog.confirmAdd":"Додај проект","workspaceRootDialog.confirmPick":"Користи проект","workspaceRootDialog.description":"Внеси патека на {host} да се користи како проект.","workspaceRootDialog.pathLabel":"Патека на проект","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Додај патека на проект","workspaceRootDialog.title.pick":"Избери патека на проект","worktreeInitV2.cancel":"Откажи","worktreeInitV2.notification.failedTitle":"Поставувањето на работното дрво не успеа","worktreeInitV2.output.empty":"Чекање резултат…","worktreeInitV2.status.error":"Поставувањето на работното дрво не успеа.","worktreeInitV2.status.running":"Креирање на работно дрво и извршување на поставувањето.","worktreeInitV2.status.runningFork":"Креирање на работно дрво за разгранување на овој разговор.","worktreeInitV2.status.success":"Работно дрво подготвено.","worktreeInitV2.title":"Креирање работно дрво","worktreeInitV2.workLocallyInstead":"Наместо тоа работи локално","worktreeRestoreBanner.body":"Работното дрво во оваа нишка беше отстрането за да се зачува простор во дискот","worktreeRestoreBanner.missing.body":"Работниот именик на оваа нишка веќе не постои","worktreeRestoreBanner.missing.title":"Недостасува тековниот работен именик","worktreeRestoreBanner.restore.error":"Неуспешно обновување на работното дрво: {message}","worktreeRestoreBanner.restore.success":"Работното дрво е обновено","worktreeRestoreBanner.restoreCta":"Обнови го работното дрво","worktreeRestoreBanner.title":"Работното дрво е исчистено"};Object.assign(e,globalThis.codexI18nOverrides?.["mk-MK"]);export{e as default};
 //# sourceMappingURL=mk-MK-BLUdyo-z.js.map
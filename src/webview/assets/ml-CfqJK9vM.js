@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"പകർത്തുക","app.sidebar.hide":"സൈഡ്ബാർ മറയ്ക്കുക","app.sidebar.show":"സൈഡ്‌ബാർ കാണിക്കുക","app.sidebar.tooltip":"സൈഡ്‌ബാർ ടോഗിൾ ചെയ്യുക","appHeader.installUpdate":"അപ്‌ഡേറ്റ് ചെയ്യുക","appSunset.body":"ആപ്പിന്റെ ഈ പതിപ്പ് ഇനി പിന്തുണയ്ക്കില്ല. ഏറ്റവും പുതിയ പതിപ്പ് <here>ഇവിടെ</here> ഡൗൺലോഡ് ചെയ്യുക.","appSunset.title":"അപ്‌ഡേറ്റ് ചെയ്യണം","automation.updateDirective.create":"സൃഷ്ടിക്കുക","automation.updateDirective.open":"തുറക്കുക","automation.updateDirective.untitled":"പേരില്ലാത്ത ഓട്ടോമേഷൻ","automation.updateDirective.update":"അപ്‌ഡേറ്റ് ചെയ്യുക","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# ശ്രമം} other {# ശ്രമങ്ങൾ}}","cloudTaskRow.archiveError":"ടാസ്‌ക് ആർക്കൈവ് ചെയ്യാനായില്ല","code.diff.requestChange":"മാറ്റം അഭ്യർത്ഥിക്കുക","code.diffComment.cancel":"റദ്ദാക്കുക","code.diffComment.comment":"അഭിപ്രായം","code.diffComment.delete":"ഇല്ലാതാക്കുക","code.diffComment.save":"സംരക്ഷിക്കുക","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"കണ്ടെത്തലുകളൊന്നും റിപ്പോർട്ട് ചെയ്തിട്ടില്ല.","codex.alert.closeAriaLabel":"അടയ്ക്കുക","codex.appUpsellBanner.cbpApi.message":"Codex ആപ്പ് ഉപയോഗിച്ച് വേഗത്തിൽ നിർമ്മാണം പൂർത്തിയാക്കൂ. ഇപ്പോൾ ഡൗൺലോഡ് ചെയ്യുക അല്ലെങ്കിൽ {learnMoreLink}.","codex.appUpsellBanner.download":"ഡൗൺലോഡ്","codex.appUpsellBanner.freeGo.message":"മാർച്ച് 2 വരെ നിങ്ങളുടെ പ്ലാനിൽ Codex ഉൾപ്പെടുത്തിയിട്ടുണ്ട്. വേഗത്തിൽ നിർമ്മാണം പൂർത്തിയാക്കാൻ Codex ആപ്പ് പരീക്ഷിച്ചു നോക്കൂ.","codex.appUpsellBanner.later":"പിന്നീട്","codex.appUpsellBanner.learnMoreLowercase":"കൂടുതലറിയുക","codex.appUpsellBanner.new":"പുതിയത്","codex.appUpsellBanner.proPlusBusiness.message":"ഏപ്രിൽ 2 വരെ 2 മടങ്ങ് അധികം റേറ്റ് ലിമിറ്റുകളോടെ Codex ആപ്പ് ഉപയോഗിക്കാം. ഇപ്പോൾ തന്നെ ഡൗൺലോഡ് ചെയ്യൂ അല്ലെങ്കിൽ {learnMoreLink}.","codex.appUpsellBanner.title":"Codex ആപ്പ്","codex.applyDropdown.header.changes":"മാറ്റങ്ങൾ","codex.applyDropdown.header.fileCount":"{count, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}","codex.applyDropdown.header.rows":"റോകൾ","codex.applyDropdown.header.title":"മാറ്റങ്ങൾ പ്രയോഗിക്കുക","codex.applyDropdown.header.workspace":"പ്രോജക്റ്റ്","codex.applyDropdown.results.conflicted":"{count, plural, one {1 ഫയലിൽ വൈരുദ്ധ്യമുണ്ട്:} other {{count} ഫയലുകളിൽ വൈരുദ്ധ്യമുണ്ട്:}}","codex.applyDropdown.results.empty":"ഫയലുകളൊന്നും കോപ്പി ചെയ്തിട്ടില്ല","codex.applyDropdown.results.skipped":"{count, plural, one {1 ഫയൽ ഒഴിവാക്കി:} other {{count} ഫയലുകൾ ഒഴിവാക്കി:}}","codex.applyOrRevertBanner.apply":"പ്രയോഗിക്കുക","codex.applyOrRevertBanner.applyMessage":"മാറ്റങ്ങൾ പ്രയോഗിച്ച് സ്വന്തമായി തുടരണോ?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ഈ ടാസ്‌ക് {environment}-ൽ ചെയ്‌തതിനാൽ ഇത് പൂർണ്ണമായും ബാധകമാകണമെന്നില്ല.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"മാറ്റങ്ങൾ {environment}-ൽ വരുത്തിയതിനാൽ മാറ്റങ്ങൾ പൂർണ്ണമായും ബാധകമാകണമെന്നില്ല.","codex.applyOrRevertBanner.reapply":"വീണ്ടും പ്രയോഗിക്കുക","codex.applyOrRevertBanner.revert":"തിരിച്ചയക്കുക","codex.applyOrRevertBanner.revertMessage":"പ്രയോഗിച്ച മാറ്റങ്ങൾ പഴയപടിയാക്കണോ?","codex.applyResultsDialog.applied":"കൃത്യമായി പ്രയോഗിച്ചു ({count})","codex.applyResultsDialog.close":"അടയ്ക്കുക","codex.applyResultsDialog.conflicted":"വൈരുദ്ധ്യമുള്ളത് ({count})","codex.applyResultsDialog.noDetails":"ഫയൽ വിശദാംശങ്ങളൊന്നും ലഭ്യമല്ല.","codex.applyResultsDialog.skipped":"ഒഴിവാക്കിയത് ({count})","codex.applyResultsDialog.title":"ഫലങ്ങൾ പ്രയോഗിക്കുക","codex.archiveInfo":"{dataControlsLink}-ലെ ആർക്കൈവ് ചെയ്‌ത ചാറ്റുകൾ കാണുക.","codex.archiveInfo.dataControlsLink":"ഡാറ്റ നിയന്ത്രണങ്ങൾ","codex.archiveInfo.electron":"{settingsLink}-ലെ ആർക്കൈവ് ചെയ്‌ത ചാറ്റുകൾ കാണുക","codex.archiveInfo.extension":"നിങ്ങളുടെ .codex ഫോൾഡറിൽ ആർക്കൈവ് ചെയ്‌ത ചാറ്റുകൾ കാണുക.","codex.archiveInfo.settingsLink":"ക്രമീകരണങ്ങൾ","codex.banner.content.description":"സമാന്തരമായി ടാസ്‌ക്കുകൾ പ്രവർത്തിപ്പിക്കുക, എവിടെയും പുരോഗതി ട്രാക്ക് ചെയ്യുക, AI ഉപയോഗിച്ച് PR-കൾ അവലോകനം ചെയ്യുക.","codex.banner.content.headline":"Codex ഇവയെല്ലാം ചെയ്യുന്നു.","codex.cloudTaskRow.archiveTask":"ടാസ്ക് ആർകൈവ് ചെയ്യുക","codex.cloudTaskRow.confirmArchiveTask":"സ്ഥിരീകരിക്കുക","codex.command.feedback":"ഫീഡ്ബാക്ക്","codex.command.findInThread":"കണ്ടെത്തുക","codex.command.forceReloadSkills":"സ്കില്ലുകൾ നിർബന്ധിതമായി വീണ്ടും ലോഡ് ചെയ്യുക","codex.command.logOut":"ലോഗ് ഔട്ട്","codex.command.manageTasks":"ടാസ്കുകൾ മാനേജ് ചെയ്യുക","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"തിരികെ പോകുക","codex.command.navigateForward":"മുന്നോട്ട് പോവുക","codex.command.newThread":"പുതിയ ത്രെഡ്","codex.command.nextThread":"അടുത്ത ത്രെഡ്","codex.command.openFolder":"ഫോൾഡർ തുറക്കുക","codex.command.openSkills":"സ്കില്ലുകളിലേക്ക് പോകുക","codex.command.openThreadOverlay":"ത്രെഡ് പോപ്പ് ഔട്ട് ചെയ്യുക","codex.command.personalitySettings":"വ്യക്തിത്വം","codex.command.previousThread":"മുമ്പത്തെ ത്രെഡ്","codex.command.settings":"ക്രമീകരണങ്ങൾ","codex.command.toggleDiffPanel":"ഡിഫ് പാനൽ ടോഗിൾ ചെയ്യുക","codex.command.toggleSidebar":"സൈഡ്‌ബാർ ടോഗിൾ ചെയ്യുക","codex.command.toggleTerminal":"ടെർമിനൽ മാറ്റുക","codex.commandGroup.app":"ആപ്പ്","codex.commandGroup.configure":"കോൺഫിഗർ ചെയ്യുക","codex.commandGroup.navigation":"നാവിഗേഷൻ","codex.commandGroup.panels":"പാനലുകൾ","codex.commandGroup.skills":"സ്‌കില്ലുകൾ","codex.commandGroup.thread":"ത്രെഡ്","codex.commandGroup.workspace":"പ്രോജക്റ്റ്","codex.commandMenu.noResults":"സാമ്യമുള്ളവയില്ല","codex.commandMenu.searchPlaceholder":"കമാൻഡുകൾ തിരയുക","codex.commandMenu.suggestedGroup":"നിർദ്ദേശിച്ചത്","codex.commandMenu.switchWorkspace":"പ്രോജക്റ്റ് മാറ്റുക","codex.commandMenu.title":"കമാൻഡ് മെനു","codex.common.retry":"വീണ്ടും ശ്രമിക്കുക","codex.composer.searchBranches":"ബ്രാഞ്ചുകൾ തിരയുക","codex.dialog.basic.body":"റാഡിക്സ് ഡയലോഗിനെ ചുറ്റിപ്പറ്റിയുള്ള ഞങ്ങളുടെ റാപ്പർ ഉപയോഗിക്കുന്ന ഒരു ലളിതമായ മോഡൽ ഡയലോഗാണിത്.","codex.dialog.basic.cancel":"റദ്ദാക്കുക","codex.dialog.basic.confirm":"സ്ഥിരീകരിക്കുക","codex.dialog.basic.open":"ഡയലോഗ് തുറക്കുക","codex.dialog.basic.title":"സാമ്പിൾ ഡയലോഗ്","codex.dialog.long.close":"അടയ്ക്കുക","codex.dialog.long.line":"ഡയലോഗിനുള്ളിൽ ദൈർഘ്യമേറിയ ഉള്ളടക്കം പ്രദർശിപ്പിക്കുന്നതിന് സ്ക്രോൾ ചെയ്യാവുന്ന വരി {index}.","codex.dialog.long.open":"ലോങ്ങ് ഡയലോഗ് തുറക്കുക","codex.dialog.long.title":"ലോംഗ് കണ്ടന്‍റ് ഡയലോഗ്","codex.dialog.unstyled.body":"ഡയലോഗ് കണ്ടന്റ് സ്റ്റൈലിംഗ് എങ്ങനെ പൂർണ്ണമായും നിയന്ത്രിക്കാം എന്ന് ഈ സ്റ്റോറി കാണിച്ചുതരുന്നു.","codex.dialog.unstyled.open":"അൺസ്റ്റൈൽഡ് ഡയലോഗ് തുറക്കുക","codex.dialog.unstyled.title":"അൺസ്റ്റൈൽഡ് കണ്ടന്റ്","codex.diff.openInEditorPrompt.openButton":"എഡിറ്ററിൽ തുറക്കുക","codex.diff.openInEditorPrompt.singleLine":"ഈ ഫയൽ ഇവിടെ കാണിക്കാൻ കഴിയാത്തവിധം വലുതാണ്.","codex.diffView.failedToDecodeBase64Diff":"ബേസ്64 വ്യത്യാസം ഡീകോഡ് ചെയ്യാനായില്ല","codex.diffView.filesChanged":"{fileCount, plural, one {# ഫയലിൽ മാറ്റങ്ങൾ വരുത്തി} other {# ഫയലുകളിൽ മാറ്റങ്ങൾ വരുത്തി}}","codex.diffView.imagePreviewAlt":"ചിത്രത്തിന്‍റെ പ്രിവ്യൂ","codex.diffView.imagePreviewEmpty":"ചിത്രങ്ങൾ ഇല്ല","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"വ്യത്യാസങ്ങളുടെ ഡാറ്റ ഇല്ല","codex.diffView.pdfPreview.nextPage":"അടുത്ത പേജ്","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"മുമ്പത്തെ പേജ്","codex.diffView.pdfPreviewEmpty":"PDF പ്രിവ്യൂ ലഭ്യമല്ല","codex.diffView.pdfPreviewError":"PDF പ്രിവ്യൂ കാണിക്കാൻ സാധിക്കുന്നില്ല","codex.diffView.richPreviewDisable":"റിച്ച് പ്രിവ്യൂ പ്രവർത്തനരഹിതമാക്കുക","codex.diffView.richPreviewEnable":"റിച്ച് പ്രിവ്യൂ പ്രവർത്തനക്ഷമമാക്കുക","codex.diffView.richPreviewLoading":"പ്രിവ്യൂ ലോഡ് ചെയ്യുന്നു…","codex.diffView.richPreviewToggle":"റിച്ച് പ്രിവ്യൂ ടോഗിൾ ചെയ്യുക","codex.diffView.switchToUnified":"യൂണിഫൈഡ് വ്യത്യാസത്തിലേക്ക് മാറുക","codex.environmentSelector.noEnvironment":"എൻവയോൺമെൻ്റ് ഇല്ല","codex.environments.environmentSettings":"എൻവയോൺമെൻ്റ് ക്രമീകരണങ്ങൾ","codex.environments.learnMore":"കൂടുതലറിയുക","codex.environments.listError":"എൻവയോൺമെന്‍റുകൾ ലോഡ് ചെയ്യാനായില്ല.","codex.environments.noEnvironmentsFound":"എൻവയോൺമെന്‍റുകളൊന്നും കണ്ടെത്തിയില്ല","codex.environments.searchError":"എൻവയോൺമെന്‍റുകൾ തിരയാനായില്ല.","codex.errorBoundary.genericError":"ക്ഷമിക്കണം, ഒരു പിശക് സംഭവിച്ചു","codex.errorBoundary.goHome":"വീണ്ടും ശ്രമിക്കുക","codex.file.patch.missing":"ഈ ഫയലിനായി പാച്ച് നിർമ്മിക്കാൻ കഴിയുന്നില്ല.","codex.gallery.automations.cwdLabel":"പ്രോജക്റ്റുകൾ","codex.gallery.automations.nameLabel":"പേര്","codex.gallery.automations.namePlaceholder":"ഒരു ജോലി സംഗ്രഹിക്കുക","codex.gallery.automations.promptLabel":"പ്രോംപ്റ്റ്","codex.gallery.automations.promptPlaceholder":"Codex എന്താണ് ചെയ്യേണ്ടതെന്ന് വിശദീകരിക്കുക","codex.gallery.dialogs.automation.label":"ഓട്ടോമേഷൻ ഡയലോഗ്","codex.gallery.dialogs.basic.body":"ലളിതമായ സ്ഥിരീകരണങ്ങൾക്കോ ചെറിയ ഫോമുകൾക്കോ വേണ്ടി ഈ ലേഔട്ട് ഉപയോഗിക്കുക.","codex.gallery.dialogs.basic.cancel":"റദ്ദാക്കുക","codex.gallery.dialogs.basic.confirm":"സ്ഥിരീകരിക്കുക","codex.gallery.dialogs.basic.label":"ബേസിക് ഡയലോഗ്","codex.gallery.dialogs.basic.title":"സാമ്പിൾ ഡയലോഗ്","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"പ്രശ്നം വിവരിക്കുക","codex.gallery.dialogs.feedbackSubmission.bad":"മോശം റിസൾട്ട്","codex.gallery.dialogs.feedbackSubmission.bug":"ബഗ്","codex.gallery.dialogs.feedbackSubmission.good":"നല്ല റിസൾട്ട്","codex.gallery.dialogs.feedbackSubmission.includeLogs":"നിലവിലെ Codex സെഷൻ ലോഗുകൾ ഉൾപ്പെടുത്തുക","codex.gallery.dialogs.feedbackSubmission.label":"ഫീഡ്‌ബാക്ക് സമർപ്പണം","codex.gallery.dialogs.feedbackSubmission.other":"മറ്റുള്ളവ","codex.gallery.dialogs.feedbackSubmission.placeholder":"പ്രശ്നം ഇവിടെ വിവരിക്കുക","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"സുരക്ഷാ പരിശോധന","codex.gallery.dialogs.feedbackSubmission.submit":"സമർപ്പിക്കുക","codex.gallery.dialogs.feedbackSubmission.title":"ഫീഡ്ബാക്ക്","codex.gallery.dialogs.feedbackSuccess.body":"ഫീഡ്‌ബാക്ക് അപ്‌ലോഡ് ചെയ്തു. പ്രശ്നം തുടരുകയാണെങ്കിൽ, ഒരു GitHub ഇഷ്യൂ തുറക്കുക അല്ലെങ്കിൽ നിലവിലുള്ള ഒരു ഇഷ്യൂവിൽ ത്രെഡ് ഐഡി പരാമർശിക്കുക:","codex.gallery.dialogs.feedbackSuccess.dismiss":"ഒഴിവാക്കുക","codex.gallery.dialogs.feedbackSuccess.label":"ഫീഡ്‌ബാക്ക് വിജയകരം","codex.gallery.dialogs.feedbackSuccess.title":"ഫീഡ്‌ബാക്ക് അപ്‌ലോഡ് ചെയ്‌തു","codex.gallery.dialogs.gitApplyResults.applied":"കൃത്യമായി പ്രയോഗിച്ചു (2)","codex.gallery.dialogs.gitApplyResults.close":"അടയ്ക്കുക","codex.gallery.dialogs.gitApplyResults.conflicted":"വൈരുദ്ധ്യമുള്ളത് (1)","codex.gallery.dialogs.gitApplyResults.label":"ഫലങ്ങൾ പ്രയോഗിക്കുക","codex.gallery.dialogs.gitApplyResults.title":"ഫലങ്ങൾ പ്രയോഗിക്കുക","codex.gallery.dialogs.gitPushError.body":"ഏറ്റവും പുതിയ മാറ്റങ്ങൾ പിൻ ചെയ്യുക, അല്ലെങ്കിൽ റിമോട്ട് ഹിസ്റ്ററി മാറ്റിയെഴുതുന്നത് സുരക്ഷിതമാണെന്ന് ഉറപ്പാണെങ്കിൽ ഫോഴ്‌സ് പുഷ് ചെയ്യുക.","codex.gallery.dialogs.gitPushError.cancel":"റദ്ദാക്കുക","codex.gallery.dialogs.gitPushError.force":"നിർബന്ധിച്ചുള്ള പുഷ്","codex.gallery.dialogs.gitPushError.label":"പുഷ് എറർ","codex.gallery.dialogs.gitPushError.subtitle":"നിങ്ങളുടെ ബ്രാഞ്ച് origin/main-നേക്കാൾ പിന്നിലാണ്.","codex.gallery.dialogs.gitPushError.title":"മാറ്റങ്ങൾ വരുത്തുന്നതിൽ പരാജയപ്പെട്ടു","codex.gallery.dialogs.gitRevert.cancel":"റദ്ദാക്കുക","codex.gallery.dialogs.gitRevert.confirm":"തിരിച്ചയക്കുക","codex.gallery.dialogs.gitRevert.label":"മാറ്റങ്ങൾ പഴയപടിയാക്കുക","codex.gallery.dialogs.gitRevert.skip":"വീണ്ടും ചോദിക്കരുത്","codex.gallery.dialogs.gitRevert.subtitle":"ഈ പ്രവർത്തനം ഈ മാറ്റങ്ങളെല്ലാം ഇല്ലാതാക്കുന്നു.","codex.gallery.dialogs.gitRevert.title":"മാറ്റങ്ങൾ പഴയപടിയാക്കണോ?","codex.gallery.dialogs.longForm.label":"ലോംഗ്-ഫോം ഡയലോഗ്","codex.gallery.dialogs.proseModal.body":"ദൈർഘ്യമേറിയ നിർദ്ദേശങ്ങൾക്കോ, ഓൺബോർഡിംഗിനോ, അല്ലെങ്കിൽ കൂടുതൽ വിവരങ്ങളടങ്ങിയ ബ്ലോക്കുകൾക്കോ വേണ്ടിയാണ് ഈ മോഡൽ സ്റ്റൈൽ ഉപയോഗിക്കുന്നത്.","codex.gallery.dialogs.proseModal.close":"അടയ്ക്കുക","codex.gallery.dialogs.proseModal.subtitle":"ദൈർഘ്യമേറിയ മാർഗ്ഗനിർദ്ദേശങ്ങളോ ഡോക്യുമെന്റേഷനുകളോ ഇവിടെ പങ്കുവെക്കുക.","codex.gallery.dialogs.proseModal.title":"പ്രോസ് മോഡൽ","codex.gallery.dialogs.submitBlocked.label":"സമർപ്പിക്കുന്നത് തടഞ്ഞിരിക്കുന്നു","codex.gallery.dialogs.submitBlocked.message":"പ്രോജക്റ്റ് ലഭ്യമല്ലാത്തതിനാൽ നിങ്ങളുടെ സന്ദേശം അയക്കാൻ കഴിഞ്ഞില്ല.","codex.gallery.dialogs.submitBlocked.ok":"ഓക്കേ","codex.gallery.dialogs.submitBlocked.title":"സന്ദേശം അയയ്ക്കാൻ കഴിയുന്നില്ല","codex.gallery.dialogs.title":"ഡയലോഗുകൾ","codex.gallery.dropdown.filterPlaceholder":"ഇനങ്ങൾ തരംതിരിക്കുക","codex.gallery.dropdowns.actionRow":"ആക്ഷൻ റോകൾ","codex.gallery.dropdowns.actionRow.disabled":"പ്രവർത്തനരഹിതമാക്കിയ ആക്ഷൻ","codex.gallery.dropdowns.actionRow.primary":"പ്രധാന ആക്ഷൻ","codex.gallery.dropdowns.actionRow.secondary":"സെക്കൻഡറി ആക്ഷൻ","codex.gallery.dropdowns.actionRow.trigger":"നടപടികൾ കാണിക്കുക","codex.gallery.dropdowns.basic":"ബേസിക്ക് ഡ്രോപ്പ്‌ഡൗൺ","codex.gallery.dropdowns.basic.newFile":"പുതിയ ഫയൽ","codex.gallery.dropdowns.basic.newFolder":"പുതിയ ഫോൾഡർ","codex.gallery.dropdowns.basic.openSettings":"ക്രമീകരണങ്ങൾ തുറക്കുക","codex.gallery.dropdowns.basic.title":"വേഗത്തിലുള്ള നടപടികൾ","codex.gallery.dropdowns.basic.trigger":"മെനു തുറക്കുക","codex.gallery.dropdowns.basic.upload":"അപ്‌ലോഡ് ചെയ്യുക","codex.gallery.dropdowns.panel":"പാനൽ പ്രതലം","codex.gallery.dropdowns.panel.apply":"പ്രയോഗിക്കുക","codex.gallery.dropdowns.panel.body":"മാറ്റങ്ങൾ പരിശോധിച്ച ശേഷം നിങ്ങളുടെ പ്രോജക്റ്റിൽ നടപ്പിലാക്കുക.","codex.gallery.dropdowns.panel.preview":"പ്രിവ്യൂ","codex.gallery.dropdowns.panel.title":"മാറ്റങ്ങൾ പ്രയോഗിക്കുക","codex.gallery.dropdowns.panel.trigger":"പാനൽ തുറക്കുക","codex.gallery.dropdowns.search":"സെർച്ചബിൾ ഡ്രോപ്പ്‌ഡൗൺ","codex.gallery.dropdowns.search.first":"ആൽഫ ചാനൽ","codex.gallery.dropdowns.search.second":"ബീറ്റ ബ്രാഞ്ച്","codex.gallery.dropdowns.search.third":"റിലീസ് കാൻഡിഡേറ്റ്","codex.gallery.dropdowns.search.trigger":"ഇനങ്ങൾ തരംതിരിക്കുക","codex.gallery.dropdowns.submenu":"സബ് മെനുവോടു കൂടിയ ഡ്രോപ്പ്‌ഡൗൺ","codex.gallery.dropdowns.submenu.optionA":"പ്രോജക്റ്റ് ആൽഫ","codex.gallery.dropdowns.submenu.optionB":"പ്രോജക്റ്റ് ബീറ്റ","codex.gallery.dropdowns.submenu.optionC":"പ്രോജക്റ്റ് ഗാമ","codex.gallery.dropdowns.submenu.primary":"ഉടമസ്ഥനെ ഏൽപ്പിക്കുക","codex.gallery.dropdowns.submenu.secondary":"ഇതിലേക്ക് നീക്കുക","codex.gallery.dropdowns.submenu.tertiary":"ആർകൈവ്","codex.gallery.dropdowns.submenu.trigger":"നടപടി തിരഞ്ഞെടുക്കുക","codex.gallery.dropdowns.title":"ഡ്രോപ്പ്‌ഡൗണുകൾ","codex.gallery.inbox.automations.close":"അടയ്ക്കുക","codex.gallery.inbox.automations.popover.cardTitle":"ഓട്ടോമേഷനുകൾ മാനേജ് ചെയ്യുക","codex.gallery.inbox.automations.popover.dialogTitle":"ഓട്ടോമേഷനുകൾ മാനേജ് ചെയ്യുക","codex.header.settingsTooltip":"ക്രമീകരണങ്ങൾ","codex.hunk.patch.error":"സ്റ്റേജ് ചെയ്യാനായില്ല","codex.hunk.patch.missing":"ഈ ഹങ്കിനായി പാച്ച് നിർമ്മിക്കാൻ കഴിയുന്നില്ല.","codex.hunk.patch.partialSuccess":"ഭാഗിക വിജയം","codex.hunk.patch.revertError":"അൺസ്റ്റേജ് പരാജയപ്പെട്ടു","codex.hunk.patch.revertSuccess":"വിജയകരമായി അൺസ്റ്റേജ് ചെയ്തു","codex.hunk.patch.success":"വിജയകരമായി സ്റ്റേജ് ചെയ്തു","codex.legal.autonomy.details":"കൂടുതൽ വിവരങ്ങൾക്ക്, {link} കാണുക","codex.legal.autonomy.details.link":"Codex docs","codex.legal.autonomy.title":"നിങ്ങൾ എത്രത്തോളം സ്വയംഭരണം നൽകണമെന്ന് തീരുമാനിക്കുക","codex.legal.backButton":"തിരികെ പോകുക","codex.legal.cloud.taskOne.meta":"openai/agi · ഒക്ടോ 12","codex.legal.cloud.taskOne.title":"ഒരു പുതിയ ഡിസൈനർക്ക് റിപ്പോസിറ്ററിയെക്കുറിച്ച് വിശദീകരിച്ചു കൊടുക്കുക","codex.legal.cloud.taskThree.meta":"openai/codex · ഒക്ടോ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"ഒരു ഡാർക്ക് മോഡ് തീം സൃഷ്ടിക്കുക","codex.legal.cloud.taskTwo.meta":"openai/agi · ഒക്ടോ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ഒരു ഓൺബോർഡിംഗ് ബഗ് പരിഹരിക്കുക","codex.legal.continue.apikey":"തുടരുക","codex.legal.continueButton":"അടുത്തത്","codex.legal.copilot.details":"എല്ലാ മോഡൽ കോളുകൾക്കും ബില്ലിംഗിനും നിരക്ക് പരിധികൾക്കും നിങ്ങളുടെ കോപൈലറ്റ് പ്ലാൻ ഉപയോഗിക്കുന്നു. കോഡെക്സ് എക്സ്റ്റൻഷൻ ഉപയോഗം {oaiTos} കൂടാതെ {gitHubTos} എന്നിവയ്ക്ക് വിധേയമാണ്.","codex.legal.copilot.gitHubTosLink":"GitHub സേവന നിബന്ധനകൾ","codex.legal.copilot.oaiTosLink":"OpenAI Codex സേവന നിബന്ധനകൾ","codex.legal.copilot.title":"GitHub കോപൈലറ്റിൽ നിന്ന്","codex.legal.mistakes.review":"അത് എഴുതുന്ന കോഡും അത് റൺ ചെയ്യുന്ന കമാൻഡുകളും പരിശോധിക്കുക","codex.legal.mistakes.title":"Codex തെറ്റുകൾ വരുത്താം","codex.legal.powered.details":"നിങ്ങളുടെ പ്ലാൻ നിരക്ക് പരിധികളും {link}-ഉം ഉപയോഗിക്കുക","codex.legal.powered.details.link":"പരിശീലന ഡാറ്റ മുൻഗണനകൾ","codex.legal.powered.title":"നിങ്ങളുടെ ChatGPT അക്കൗണ്ടിൽ നിന്ന്","codex.legal.step.cloud.subtitle":"പശ്ചാത്തലത്തിൽ പ്രവർത്തിക്കാൻ Codex-ലേക്ക് ടാസ്‌ക്കുകൾ അയയ്‌ക്കുക, അതുവഴി നിങ്ങൾക്ക് ശ്രദ്ധ കേന്ദ്രീകരിക്കാനും വേഗത്തിൽ നീങ്ങാനും കഴിയും.","codex.legal.step.cloud.title":"ക്ലൗഡിലെ Codex-ലേക്ക് കൈമാറുക","codex.legal.step.intro.subtitle":"കോഡെക്സ് നിങ്ങളുടെ റിപ്പോയിൽ നേരിട്ട് നാവിഗേറ്റ് ചെയ്യുന്നു, എഡിറ്റ് ചെയ്യുന്നു, കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കുന്നു, ടെസ്റ്റുകൾ നടപ്പിലാക്കുന്നു. നിങ്ങളുടെ ChatGPT അക്കൗണ്ടിൽ നിന്ന്.","codex.legal.step.intro.title":"നിങ്ങളുടെ IDE-യിൽ Codex","codex.legal.step.todo.subtitle":"ഒരു TODO കമന്റ് എഴുതി ഒറ്റ ക്ലിക്കിൽ അതിനെ ഒരു Codex ടാസ്‌കാക്കി മാറ്റുക.","codex.legal.step.todo.title":"TODO-കളെ Codex ടാസ്‌ക്കുകളാക്കി മാറ്റുക","codex.legal.todo.heading":"// TODO: സ്കീമ നടപ്പിലാക്കുക","codex.localConversation.closeImagePreview":"ഇമേജ് പ്രിവ്യൂ ക്ലോസ് ചെയ്യുക","codex.localConversation.userImageAttachment":"ഉപയോക്തൃ അറ്റാച്ച്മെൻ്റ്","codex.localTaskRow.archiveTask":"ത്രെഡ് ആർകൈവ് ചെയ്യുക","codex.localTaskRow.awaitingApproval":"അംഗീകാരത്തിനായി കാത്തിരിക്കുന്നു","codex.localTaskRow.awaitingResponse":"പ്രതികരണത്തിനായി കാത്തിരിക്കുന്നു","codex.localTaskRow.confirmArchiveTask":"സ്ഥിരീകരിക്കുക","codex.loggedOut.apiKeyPrompt.cancel":"റദ്ദാക്കുക","codex.loggedOut.apiKeyPrompt.confirm":"ഓക്കേ","codex.loggedOut.apiKeyPrompt.getKey":"API കീ നേടുക","codex.loggedOut.apiKeyPrompt.inputLabel":"നിങ്ങളുടെ OpenAI API കീ നൽകുക","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API കീ ഉപയോഗിച്ച് ക്ലൗഡ് ടാസ്‌ക്കുകൾ പ്രവർത്തനരഹിതമാക്കി","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot-ഉം API കീയും ഉപയോഗിച്ച് ക്ലൗഡ് ടാസ്‌ക്കുകൾ പ്രവർത്തനരഹിതമാക്കി","codex.loggedOut.signIn":"ChatGPT ഉപയോഗിച്ച് സൈൻ ഇൻ ചെയ്യുക","codex.loggedOut.signIn.cancel":"സൈൻ ഇൻ റദ്ദാക്കുക","codex.loggedOut.signInWithCopilot":"GitHub Copilot ഉപയോഗിച്ച് സൈൻ ഇൻ ചെയ്യുക","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API കീ ഉപയോഗിക്കുക","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ടൂൾ","codex.mcpTool.collapsedLabel.verb.called":"വിളിച്ചു","codex.mcpTool.collapsedLabel.verb.calling":"വിളിക്കുന്നു","codex.mcpTool.embeddedResource.contentLabel":"ഉള്ളടക്കം","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME തരം","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ടൂൾ ഉള്ളടക്കമൊന്നും തിരികെ നൽകിയില്ല","codex.mcpTool.rawPayloadHeading":"റോ{server}.{tool} ടൂൾ കോൾ പേലോഡ്","codex.menu.recent":"സമീപകാലത്തെ","codex.menu.seeAllHistory":"എല്ലാ ചരിത്രവും കാണുക","codex.modelCapacityBanner.headline.noReset":"{modelName} നിലവിൽ പൂർണ്ണ ശേഷിയിലാണ്. പിന്നീട് വീണ്ടും ശ്രമിക്കുക, അല്ലെങ്കിൽ മറ്റൊരു മോഡലുമായി ഒരു പുതിയ സംഭാഷണം ആരംഭിക്കുക.","codex.modelCapacityBanner.headline.withReset":"{modelName} നിലവിൽ പൂർണ്ണ ശേഷിയിലാണ്. {resetDate} സമയത്തിന് ശേഷം വീണ്ടും ശ്രമിക്കുക, അല്ലെങ്കിൽ മറ്റൊരു മോഡലുമായി ഒരു പുതിയ സംഭാഷണം ആരംഭിക്കുക.","codex.modelCapacityBanner.title":"തിരഞ്ഞെടുത്ത മോഡൽ പൂർണ്ണ ശേഷിയിലാണ്","codex.patch.change.contentsDeleted":"ഉള്ളടക്കം ഇല്ലാതാക്കി","codex.patch.change.created":"സൃഷ്ടിച്ചു","codex.patch.change.created-file":"ഫയൽ നിർമ്മിച്ചു","codex.patch.change.creating":"സൃഷ്ടിക്കുന്നു","codex.patch.change.deleted":"ഇല്ലാതാക്കി","codex.patch.change.deleted-file":"ഫയൽ നീക്കം ചെയ്തു","codex.patch.change.deleting":"ഇല്ലാതാക്കുന്നു","codex.patch.change.edited":"എഡിറ്റ് ചെയ്തത്","codex.patch.change.edited-file":"എഡിറ്റ് ചെയ്ത ഫയൽ","codex.patch.change.editing":"എഡിറ്റിംഗ്","codex.patch.change.noChanges":"മാറ്റങ്ങൾ ഇല്ല","codex.patch.change.rejected-add":"നിരസിച്ചു","codex.patch.change.rejected-delete":"നിരസിച്ചു","codex.patch.change.rejected-edit":"നിരസിച്ചു","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total}-ൽ {completed} ടാസ്കുകൾ പൂർത്തിയായി","codex.plan.todoListCreated":"{total} ടാസ്കുകൾ ഉൾക്കൊള്ളുന്ന ചെയ്യേണ്ട കാര്യങ്ങളുടെ ലിസ്റ്റ് സൃഷ്ടിച്ചു","codex.profileDropdown.apiKeyAuth":"API കീ ഉപയോഗിച്ച് ലോഗിൻ ചെയ്‌തു","codex.profileDropdown.codexSettings":"Codex ക്രമീകരണങ്ങൾ","codex.profileDropdown.copilotAuth":"Copilot ഉപയോഗിച്ച് ലോഗിൻ ചെയ്തു","codex.profileDropdown.defaultAccountTitle":"ഡിഫോൾട്ട് അക്കൗണ്ട്","codex.profileDropdown.enterBehavior":"ദൈർഘ്യമുള്ള പ്രോംപ്റ്റുകൾ അയക്കുന്നതിനായി {modifierSymbol} + എന്റർ അമർത്തുക","codex.profileDropdown.enterBehaviorError":"ക്രമീകരണം അപ്ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.getPlus":"ഉയർന്ന പരിധികൾക്കായി അപ്‌ഗ്രേഡ് ചെയ്യുക","codex.profileDropdown.keyboardShortcuts":"കീബോർഡ് ഷോർട്ട്കട്ടുകൾ","codex.profileDropdown.language":"ഭാഷ","codex.profileDropdown.languageDefault":"സ്വയം കണ്ടെത്തുക","codex.profileDropdown.languageSearchPlaceholder":"ഭാഷകൾ തിരയുക","codex.profileDropdown.languageUpdateError":"ഭാഷ അപ്‌ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.logOut":"ലോഗ് ഔട്ട്","codex.profileDropdown.mcp":"MCP ക്രമീകരണങ്ങൾ","codex.profileDropdown.openConfigToml":"config.toml തുറക്കുക","codex.profileDropdown.openConfigToml.wsl":"WSL എൻവയോൺമെന്‍റില്‍ config.toml തുറക്കുക","codex.profileDropdown.openExtensionSettings":"ക്രമീകരണങ്ങൾ തുറക്കുക","codex.profileDropdown.openMcpSettings":"MCP ക്രമീകരണങ്ങൾ തുറക്കുക","codex.profileDropdown.openOnStartup":"സ്റ്റാർട്ടപ്പിൽ തുറക്കുക","codex.profileDropdown.openOnStartupError":"ക്രമീകരണം അപ്ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.openSkillsSettings":"സ്കിൽസ് ക്രമീകരണങ്ങൾ തുറക്കുക","codex.profileDropdown.personalAccountTitle":"പേഴ്സണൽ അക്കൗണ്ട്","codex.profileDropdown.queueFollowUps":"ക്യൂ ഫോളോ-അപ്പുകൾ","codex.profileDropdown.queueFollowUpsError":"ക്രമീകരണം അപ്ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.readDocs":"ഡോക്യുമെന്‍റുകൾ വായിക്കുക","codex.profileDropdown.readSkillsDocs":"ഡോക്യുമെന്‍റുകൾ വായിക്കുക","codex.profileDropdown.runInWsl":"WSL-ൽ റൺ ചെയ്യുക","codex.profileDropdown.runInWslError":"ക്രമീകരണം അപ്ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.runInWslTooltip":"WSL-നുള്ളിൽ Codex പ്രവർത്തിപ്പിക്കുന്നു. മെച്ചപ്പെട്ട സാൻഡ്‌ബോക്‌സ് സുരക്ഷയ്ക്കും മികച്ച പ്രകടനത്തിനും ഇത് ശുപാർശ ചെയ്യുന്നു.","codex.profileDropdown.settings":"IDE ക്രമീകരണങ്ങൾ","codex.profileDropdown.settingsPage":"ക്രമീകരണങ്ങൾ","codex.profileDropdown.signInWithOpenAI":"ChatGPT ഉപയോഗിച്ച് സൈൻ ഇൻ ചെയ്യുക","codex.profileDropdown.skills":"സ്കിൽസ് ക്രമീകരണങ്ങൾ","codex.profileDropdown.switchToCopilotAccount":"Copilot അക്കൗണ്ട് ഉപയോഗിക്കുക","codex.profileDropdown.switchToOpenAIAccount":"OpenAI അക്കൗണ്ട് ഉപയോഗിക്കുക","codex.profileDropdown.todoCodelens":"TODO അഭിപ്രായങ്ങൾ പരിഹരിക്കുക","codex.profileDropdown.todoCodelensError":"ക്രമീകരണം അപ്ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.windowsDocumentation":"Windows ഡോക്യുമെൻ്റേഷൻ","codex.profileFooter.signedInFallback":"ക്രമീകരണങ്ങൾ","codex.profileFooter.upgrade":"നവീകരിക്കുക","codex.recentTasksMenu.clearSearch":"തിരയൽ മായ്ക്കുക","codex.recentTasksMenu.cloud":"ക്ലൗഡ് ടാസ്കുകൾ","codex.recentTasksMenu.count":"{count, plural, =0 {ടാസ്‌ക്കുകളൊന്നും പുരോഗമിക്കുന്നില്ല} one {# ടാസ്‌ക് പുരോഗമിക്കുന്നു} other {# ടാസ്‌ക് പുരോഗമിക്കുന്നു}}","codex.recentTasksMenu.empty":"ഇതുവരെ ത്രെഡുകളൊന്നുമില്ല","codex.recentTasksMenu.errorCloud":"ടാസ്‌ക്കുകൾ ലോഡ് ചെയ്യാനായില്ല.","codex.recentTasksMenu.errorCloud.inline":"ക്ലൗഡ് ടാസ്‌ക്കുകൾ ലോഡ് ചെയ്യാനായില്ല.","codex.recentTasksMenu.filterAll":"എല്ലാം","codex.recentTasksMenu.filterCloudTasks":"ക്ലൗഡ് ടാസ്‌ക്കുകൾ ഫിൽട്ടർ ചെയ്യുക","codex.recentTasksMenu.filterTooltip":"എൻവയോൺമെൻ്റ് അനുസരിച്ച് ടാസ്‌ക്കുകൾ ഫിൽട്ടർ ചെയ്യുക","codex.recentTasksMenu.local":"ലോക്കൽ ടാസ്കുകൾ","codex.recentTasksMenu.recent":"എല്ലാ ടാസ്‌ക്കുകളും","codex.recentTasksMenu.search":"സമീപകാല ടാസ്‌ക്കുകൾ തിരയുക","codex.recentTasksMenu.searchEmpty":"ഫലങ്ങളൊന്നുമില്ല","codex.recentTasksMenu.tooltip":"ടാസ്ക് ചരിത്രം","codex.recentTasksMenu.trigger":"സമീപകാല ടാസ്‌ക്കുകൾ. {count, plural, one {# പുരോഗമിച്ചുകൊണ്ടിരിക്കുന്നു} other {# പുരോഗമിച്ചുകൊണ്ടിരിക്കുന്നു}}","codex.remoteConversation.applyDiff.applyCta":"മാറ്റങ്ങൾ പ്രയോഗിക്കുക","codex.remoteConversation.applyDiff.dropdownTitle":"ഒരു ലോക്കൽ ബ്രാഞ്ചിൽ മാറ്റങ്ങൾ പ്രയോഗിക്കുക","codex.remoteConversation.applyDiff.revertCta":"മാറ്റങ്ങൾ പഴയപടിയാക്കുക","codex.remoteConversation.closeImagePreview":"ഇമേജ് പ്രിവ്യൂ ക്ലോസ് ചെയ്യുക","codex.remoteConversation.codexCloudTask":"നിങ്ങൾ ഒരു <u>Codex ക്ലൗഡ്</u> ടാസ്ക് ആണ് കാണുന്നത്","codex.remoteConversation.errorWithMessage":"പിശക്: {message}","codex.remoteConversation.loadingImage":"ചിത്രം ലോഡ് ചെയ്യുന്നു","codex.remoteConversation.openInWeb":"വെബ്ബിൽ തുറക്കുക","codex.remoteConversation.streaming":"ആരംഭിക്കുന്നു","codex.remoteConversation.turnFailed":"ഈ ടാസ്‌കിനിടെ ഒരു പിശക് സംഭവിച്ചു","codex.remoteConversation.turnTab.loading":"ശ്രമം {number}","codex.remoteConversation.turnTab.title":"ശ്രമം {number}","codex.remoteConversation.userImageAttachment":"ഉപയോക്തൃ അറ്റാച്ച്മെൻ്റ്","codex.remoteConversation.viewPreviousTurns":"വെബ്ബിൽ തുറക്കുക","codex.remoteConversation.viewPreviousTurns.buttonText":"തുറക്കുക","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"വെബ്ബിൽ തുറക്കുക","codex.review.copyGitApplyCommand":"git apply കമാൻഡ് പകർത്തുക","codex.review.copyGitApplyCommand.toast":"ക്ലിപ്പ്ബോർഡിലേക്ക് git apply കമാൻഡ് പകർത്തി","codex.review.diffTooLarge.description":"റിവ്യൂവിൽ പ്രദർശിപ്പിക്കാൻ കഴിയാത്തത്ര വലുതാണ് ഈ ഡിഫ്.","codex.review.diffTooLarge.title":"ഡിഫ് കാണിക്കാൻ പ്രദർശിപ്പിക്നാകാകാത്തത്തവിധം വലുതാണ്","codex.review.expandOrCollapseDiffButton.collapse":"എല്ലാ വ്യത്യാസങ്ങളും ചുരുക്കുക","codex.review.expandOrCollapseDiffButton.expand":"എല്ലാം വ്യത്യാസങ്ങളും വിപുലീകരിക്കുക","codex.review.expandOrCollapseDiffMenu.collapse":"എല്ലാ വ്യത്യാസങ്ങളും ചുരുക്കുക","codex.review.expandOrCollapseDiffMenu.expand":"എല്ലാം വ്യത്യാസങ്ങളും വിപുലീകരിക്കുക","codex.review.fileSearch.clear":"ഫയൽ ഫിൽട്ടർ ഒഴിവാക്കുക","codex.review.fileSearch.empty":"നിലവിലെ ഫിൽട്ടറുമായി പൊരുത്തപ്പെടുന്ന ഫയലുകളൊന്നുമില്ല.","codex.review.fileSearch.label":"ഫയലുകൾ ഫിൽട്ടർ ചെയ്യുക","codex.review.fileSearch.placeholder":"ഫയലുകൾ ഫിൽട്ടർ ചെയ്യുക.…","codex.review.filesChanged":"{num, plural, =0 {ഫയലുകളൊന്നും മാറ്റിയിട്ടില്ല} one {# ഫയലിൽ മാറ്റങ്ങൾ വരുത്തി} other {# ഫയലുകളിൽ മാറ്റങ്ങൾ വരുത്തി}}","codex.review.find.loadMore":"കൂടുതൽ ഫലങ്ങൾ ലോഡ് ചെയ്യുക","codex.review.fullReview.hideFileTree":"ഫയൽ ട്രീ മറയ്ക്കുക","codex.review.fullReview.showFileTree":"ഫയൽ ട്രീ കാണിക്കുക","codex.review.header.moreOptions":"അവലോകന ഓപ്ഷനുകൾ","codex.review.largeDiff.banner":"വലിയ വ്യത്യാസം കണ്ടെത്തി — ഒരു സമയം ഒരു ഫയൽ വീതം കാണിക്കുന്നു.","codex.review.loadFullFiles.disable":"ഫയലുകൾ പൂർണ്ണമായി ലോഡ് ചെയ്യേണ്ടതില്ല","codex.review.loadFullFiles.enable":"ഫയലുകൾ പൂർണ്ണമായി ലോഡ് ചെയ്യുക","codex.review.noDiff":"ഫയലിലെ മാറ്റങ്ങൾ ഇവിടെ കാണാനാകും","codex.review.noDiff.gitInit.createRepository":"Git റിപ്പോസിറ്ററി നിർമ്മിക്കുക","codex.review.noDiff.gitInit.creating":"സൃഷ്ടിക്കുന്നു…","codex.review.noDiff.gitInit.error":"Git init പരാജയപ്പെട്ടു: {message}","codex.review.noDiff.gitInit.success":"Git റിപ്പോസിറ്ററി സൃഷ്ടിച്ചു","codex.review.noDiff.gitRepoRequired.description":"ഈ പ്രോജക്റ്റിലെ മാറ്റങ്ങൾ ട്രാക്ക് ചെയ്ത് പഴയപടിയാക്കുക","codex.review.noDiff.gitRepoRequired.title":"ഒരു Git റിപ്പോസിറ്ററി നിർമ്മിക്കുക","codex.review.noDiff.orNoLongerAvailable":"അല്ലെങ്കിൽ ഏറ്റവും പുതിയ വ്യത്യാസങ്ങൾ നിലവിൽ ലഭ്യമല്ല","codex.review.noDiff.reverted":"അവസാന ടേൺ പഴയപടിയാക്കി","codex.review.noDiff.revertedOrCommitted":"അവസാന ടേൺ പഴയപടിയാക്കുകയോ കമ്മിറ്റ് ചെയ്യുകയോ ചെയ്‌തിരിക്കുന്നു.","codex.review.refreshGitQueries":"റീഫ്രഷ് ചെയ്യുക","codex.review.revert.file.error":"{path} പഴയപടിയാക്കാനായില്ല.","codex.review.revert.file.partialSuccess":"{path} ഭാഗികമായി പഴയപടിയാക്കി","codex.review.revert.file.success":"{path} പഴയപടിയാക്കി","codex.review.revert.hunk.error":"ഹങ്ക് പഴയപടിയാക്കാനായില്ല {path}-ൽ {hunkNumber}","codex.review.revert.hunk.partialSuccess":"ഹങ്ക് ഭാഗികമായി പഴയപടിയാക്കി {path}-ൽ {hunkNumber}","codex.review.revert.hunk.success":"ഹങ്ക് പഴയപടിയാക്കി {path}-ൽ {hunkNumber}","codex.review.revert.section.error":"വിഭാഗം പഴയപടിയാക്കാനായില്ല","codex.review.revert.section.partialSuccess":"വിഭാഗം ഭാഗികമായി പഴയപടിയാക്കി","codex.review.revert.section.success":"വിഭാഗം പഴയപടിയാക്കി","codex.review.revertDialog.cancel":"റദ്ദാക്കുക","codex.review.revertDialog.confirm":"സ്ഥിരീകരിക്കുക","codex.review.revertDialog.message":"ഈ പ്രവർത്തനം ഈ മാറ്റങ്ങളെല്ലാം ഇല്ലാതാക്കുന്നു.","codex.review.revertDialog.skip":"വീണ്ടും ചോദിക്കരുത്","codex.review.revertDialog.title":"മാറ്റങ്ങൾ പഴയപടിയാക്കണോ?","codex.review.richPreview.disable":"റിച്ച് പ്രിവ്യൂ പ്രവർത്തനരഹിതമാക്കുക","codex.review.richPreview.enable":"റിച്ച് പ്രിവ്യൂ പ്രവർത്തനക്ഷമമാക്കുക","codex.review.source.cloud":"ക്ലൗഡ് മാറ്റങ്ങൾ","codex.review.source.local.all":"എല്ലാ ബ്രാഞ്ച് മാറ്റങ്ങളും","codex.review.source.local.lastTurn":"അവസാനത്തെ ടേണിലെ മാറ്റങ്ങൾ","codex.review.source.local.uncommitted":"തീർപ്പാക്കാത്ത മാറ്റങ്ങൾ","codex.review.source.worktree":"വർക്ക്‌ട്രീയിലെ കമിറ്റ് ചെയ്യാത്ത മാറ്റങ്ങൾ","codex.review.stageFilter.empty.staged.description":"മാറ്റങ്ങൾ സ്റ്റേജ് ചെയ്യുന്നതിനായി അവ അംഗീകരിക്കുക","codex.review.stageFilter.empty.staged.title":"സ്റ്റേജ് ചെയ്ത മാറ്റങ്ങൾ ഒന്നുമില്ല","codex.review.stageFilter.empty.unstaged.description":"കോഡിലെ മാറ്റങ്ങൾ ഇവിടെ കാണാനാകും","codex.review.stageFilter.empty.unstaged.title":"സ്റ്റേജ് ചെയ്യാത്ത മാറ്റങ്ങൾ ഇല്ല","codex.review.stageFilter.staged":"സ്റ്റേജ് ചെയ്തത്","codex.review.stageFilter.staged.count":"സ്റ്റേജ് ചെയ്തത് · {count}","codex.review.stageFilter.unstaged":"സ്റ്റേജ് ചെയ്യാത്തത്","codex.review.stageFilter.unstaged.count":"സ്റ്റേജ് ചെയ്യാത്തത് · {count}","codex.review.switchToSplit":"സ്പ്ലിറ്റ് വ്യത്യാസത്തിലേക്ക് മാറുക","codex.review.switchToUnified":"യൂണിഫൈഡ് വ്യത്യാസത്തിലേക്ക് മാറുക","codex.review.toggleDiffView":"ഡിഫ് വ്യൂ ടോഗിൾ ചെയ്യുക","codex.review.wordDiffs.disable":"വേഡ് വ്യത്യാസങ്ങൾ പ്രവർത്തനരഹിതമാക്കുക","codex.review.wordDiffs.enable":"വേഡ് വ്യത്യാസങ്ങൾ പ്രവർത്തന സജ്ജമാക്കുക","codex.review.wrap.disable":"വേഡ് റാപ്പ് പ്രവർത്തനരഹിതമാക്കുക","codex.review.wrap.enable":"വേഡ് റാപ്പ് പ്രവർത്തന സജ്ജമാക്കുക","codex.section.patch.missing":"ഈ വിഭാഗത്തിനായി പാച്ച് നിർമ്മിക്കാൻ കഴിയുന്നില്ല.","codex.shell.collapse":"ഷെൽ ചുരുക്കുക","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"ഷെൽ ഉള്ളടക്കങ്ങൾ പകർത്തി","codex.shell.copy.copyTooltip":"ഷെൽ ഉള്ളടക്കങ്ങൾ പകർത്തുക","codex.shell.copyCommand":"കമാൻഡ് പകർത്തുക","codex.shell.copyOutput":"ഔട്ട്പുട്ട് പകർത്തുക","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"ബാഷ്","codex.shell.expand":"ഷെൽ വികസിപ്പിക്കുക","codex.shell.name":"ഷെൽ","codex.shell.noOutput":"ഔട്ട്‌പുട്ട് ലഭ്യമല്ല","codex.signInFailed.message":"സൈൻ ഇൻ ചെയ്യാനായില്ല: {rawMessage}","codex.stories.toast.show":"ടോസ്റ്റ് കാണിക്കുക","codex.stories.tooltip.basic":"ഇതൊരു ടൂൾടിപ്പാണ്","codex.stories.tooltip.hoverMe":"എന്നിൽ മൗസ് കൊണ്ടു തൊടുക","codex.stories.tooltip.largerOffset":"ഈ ടൂൾടിപ്പിന് ഒരു വലിയ ഓഫ്‌സെറ്റ് ഉണ്ട്","codex.stories.tooltip.offsetButton":"വലിയ ഓഫ്‌സെറ്റ്","codex.stories.tooltip.shortcutButton":"ഷോർട്ട്കട്ടിനൊപ്പം","codex.stories.tooltip.withShortcut":"ടെർമിനൽ മാറ്റുക","codex.taskRow.title":"പുതിയ ത്രെഡ്","codex.taskRowLayout.confirm":"സ്ഥിരീകരിക്കുക","codex.threadFindBar.chatFilter":"ചാറ്റ് തിരയുക","codex.threadFindBar.close":"കണ്ടെത്തുക ക്ലോസ് ചെയ്യുക","codex.threadFindBar.diffFilter":"മാറ്റങ്ങൾ തിരയുക","codex.threadFindBar.label":"ത്രെഡിൽ കണ്ടെത്തുക","codex.threadFindBar.nextResult":"അടുത്ത ഫലം","codex.threadFindBar.noResults":"ഫലങ്ങളൊന്നുമില്ല","codex.threadFindBar.placeholder":"ത്രെഡിൽ തിരയുക…","codex.threadFindBar.placeholder.extension":"ത്രെഡിൽ തിരയുക…","codex.threadFindBar.placeholder.review":"മാറ്റങ്ങൾ തിരയുക…","codex.threadFindBar.placeholder.review.extension":"മാറ്റങ്ങൾ തിരയുക…","codex.threadFindBar.previousResult":"മുൻപത്തെ ഫലം","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# ഫയലിൽ മാറ്റങ്ങൾ വരുത്തി} other {# ഫയലുകളിൽ മാറ്റങ്ങൾ വരുത്തി}}","codex.unifiedDiff.inlineLargeFile":"ഇൻലൈൻ ആയി കാണിക്കാൻ കഴിയാത്തവിധം വലുതാണ്","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"പഴയപടിയാക്കുക","codex.unifiedDiff.revertPatchError":"മാറ്റങ്ങൾ പഴയപടിയാക്കാനായില്ല","codex.unifiedDiff.revertPatchSuccess":"മാറ്റങ്ങൾ പഴയപടിയാക്കി","codex.unifiedDiff.reviewChangesSuffix":"മാറ്റങ്ങൾ","codex.unifiedDiff.reviewShort":"അവലോകനം ചെയ്യുക","codex.unifiedDiff.viewDiffTooltip":"അവലോകനം ചെയ്യുക","codex.upsellBanner.business.headline":"ഇപ്പോൾ കൂടുതൽ ആക്സസ് ലഭിക്കുന്നതിന്, നിങ്ങളുടെ അഡ്‌മിന് ഒരു അഭ്യർത്ഥന അയയ്‌ക്കുക അല്ലെങ്കിൽ {resetDate}വരെ കാത്തിരിക്കുക","codex.upsellBanner.cbp.headline":"ഇപ്പോൾ കൂടുതൽ ആക്സസ് ലഭിക്കുന്നതിന്, നിങ്ങളുടെ അഡ്‌മിന് ഒരു അഭ്യർത്ഥന അയയ്‌ക്കുക.","codex.upsellBanner.cta.addCredits":"ക്രെഡിറ്റുകൾ ചേർക്കുക","codex.upsellBanner.cta.upgradeAccount":"നവീകരിക്കുക","codex.upsellBanner.cta.viewUsage":"ഉപയോഗം കാണുക","codex.upsellBanner.free.trialHeadline":"നിങ്ങളുടെ പരിധി {resetDate}-ന് റീസെറ്റ് ചെയ്യും. Codex ഉപയോഗിക്കുന്നത് തുടരുന്നതിനും GPT-5.3-Codex ആക്സസ് ചെയ്യുന്നതിനും ഇന്ന് തന്നെ നിങ്ങളുടെ Plus ഫ്രീ ട്രയൽ ആരംഭിക്കൂ.","codex.upsellBanner.freeOrGo.headline":"നിങ്ങളുടെ റേറ്റ് ലിമിറ്റ് {resetDate}-ന് റീസെറ്റ് ചെയ്യും. Codex തുടർച്ചയായി ഉപയോഗിക്കുന്നതിനായി ഇന്ന് തന്നെ Plus പ്ലാനിലേക്ക് അപ്‌ഗ്രേഡ് ചെയ്യുക.","codex.upsellBanner.general.headline":"നിങ്ങളുടെ റേറ്റ് ലിമിറ്റ് {resetDate}-ന് റീസെറ്റ് ചെയ്യും.","codex.upsellBanner.general.title":"നിങ്ങളുടെ Codex സന്ദേശങ്ങൾ തീർന്നു","codex.upsellBanner.go.trialHeadline":"നിങ്ങളുടെ പരിധി {resetDate}-ന് റീസെറ്റ് ചെയ്യും. Codex ഉപയോഗിക്കുന്നത് തുടരാൻ ഇന്ന് തന്നെ Plus പ്ലാനിന്‍റെ സൗജന്യ ട്രയൽ ആരംഭിക്കുക.","codex.upsellBanner.plus.headline":"നിങ്ങളുടെ റേറ്റ് ലിമിറ്റ് {resetDate}-ന് റീസെറ്റ് ചെയ്യും. Codex തുടർച്ചയായി ഉപയോഗിക്കുന്നതിനായി ക്രെഡിറ്റുകൾ ചേർക്കുകയോ അല്ലെങ്കിൽ ഇന്ന് തന്നെ Pro പ്ലാനിലേക്ക് അപ്‌ഗ്രേഡ് ചെയ്യുകയോ ചെയ്യുക.","codex.upsellBanner.pro.headline":"നിങ്ങളുടെ റേറ്റ് ലിമിറ്റ് {resetDate}-ന് റീസെറ്റ് ചെയ്യും. Codex ഉപയോഗിക്കുന്നത് തുടരാൻ ഇപ്പോൾ തന്നെ ക്രെഡിറ്റുകൾ ചേർക്കുക.","codex.userMessage.autoResolveSync":"തടസ്സങ്ങൾ സ്വയമേവ പരിഹരിക്കുക","codex.userMessage.commentCount":"{count, plural, one {# അഭിപ്രായം} other {# അഭിപ്രായങ്ങൾ}}","codex.userMessage.copiedAriaLabel":"പകർത്തി","codex.userMessage.copiedTooltip":"പകർത്തി","codex.userMessage.copyAriaLabel":"സന്ദേശം പകർത്തുക","codex.userMessage.copyTooltip":"പകർത്തുക","codex.userMessage.implementPlan":"പദ്ധതി നടപ്പിലാക്കുക","codex.userMessage.noContent":"(ഉള്ളടക്കമില്ല)","codex.userMessage.priorConversation":"സംഭാഷണത്തിന് മുമ്പുള്ള പരാമർശങ്ങൾ","codex.userMessage.reviewMode":"റിവ്യൂ മോഡ്","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}-ന്","codex.webSearch.summary.verb.completed":"വെബിൽ തിരഞ്ഞു","codex.webSearch.summary.verb.inProgress":"വെബിൽ തിരയുന്നു","codex.windowsInstallWslBanner.dismiss":"ഒഴിവാക്കുക","codex.windowsInstallWslBanner.installWslCta":"സാൻഡ്‌ബോക്‌സ് പ്രവർത്തനക്ഷമമാക്കുക","codex.windowsInstallWslBanner.learnMore":"കൂടുതലറിയുക","codex.windowsSandboxBanner.content":"ഫയൽസിസ്റ്റത്തിലേക്കും നെറ്റ്‌വർക്കിലേക്കും ഉള്ള ആക്‌സസ് പരിമിതപ്പെടുത്തുന്നതിന് ഏജന്റ് മോഡ് വിൻഡോസിൽ ഒരു പരീക്ഷണാത്മക സാൻഡ്‌ബോക്‌സ് ഉപയോഗിക്കുന്നു. {sandboxLink}","codex.windowsSandboxBanner.title":"ഏജൻ്റ് മോഡിനായി സാൻഡ്‌ബോക്‌സ് പ്രവർത്തനക്ഷമമാക്കുക","codex.windowsSubDropdown.windowsSandbox":"Windows സാൻഡ്‌ബോക്‌സ്","codex.windowsSubDropdown.windowsSettings":"Windows ക്രമീകരണങ്ങൾ","codexUpgradeModal.body":"ഞങ്ങളുടെ ഏറ്റവും പുതിയ ഏജന്‍റിക് കോഡിംഗ് മോഡൽ — കൂടുതൽ ബുദ്ധിശക്തിയുള്ളതും വേഗതയേറിയതും സാങ്കേതിക ജോലികളിൽ കൂടുതൽ കഴിവുള്ളതുമാണ്. {link}","codexUpgradeModal.close":"അടയ്ക്കുക","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"കൂടുതലറിയുക","codexUpgradeModal.title":"അവതരിപ്പിക്കുന്നു GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex ഇപ്പോൾ പരീക്ഷിക്കൂ","codexUpgradeModal.useExistingModel":"നിലവിലെ മോഡലുമായി തുടരുക","commentAttachments.numComments":"{count, plural, one {# അഭിപ്രായം} other {# അഭിപ്രായങ്ങൾ}}","commentAttachments.removeAriaLabel":"കമന്‍റുകളുടെ അറ്റാച്ച്മെൻ്റ് നീക്കം ചെയ്യുക","common.close":"അടയ്ക്കുക","composer.addContext.openFilePickerError":"ഫയൽ പിക്കർ തുറക്കാൻ സാധിക്കുന്നില്ല","composer.addContextDropdown.ariaLabel":"ഫയലുകളും മറ്റും ചേർക്കുക","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ഫയലുകളും മറ്റും ചേർക്കുക","composer.addPhotosAndFiles":"ഫോട്ടോകൾ ഫയലുകളും ചേർക്കുക","composer.atMentionList.emptyQuery":"ഫയലുകൾ തിരയാൻ ടൈപ്പ് ചെയ്യുക","composer.atMentionList.loading":"ഫയലുകൾ തിരയുന്നു…","composer.atMentionList.noResults":"ഫലങ്ങളൊന്നുമില്ല","composer.attemptsSelector.option":"{count, plural, one {# പതിപ്പ്} other {# പതിപ്പുകൾ}}","composer.attemptsSelector.tooltip":"കോഡെക്സിന് നടത്താൻ കഴിയുന്ന സമാന്തര ശ്രമങ്ങളുടെ എണ്ണം","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"{count, plural, one {# ടെർമിനൽ} other {# ടെർമിനലുകൾ}} റൺ ചെയ്യുന്നു","composer.backgroundTerminals.stop":"നിർത്തുക","composer.cleanBackgroundTerminals.error":"പശ്ചാത്തലത്തിൽ പ്രവർത്തിക്കുന്ന ടെർമിനലുകൾ നിർത്താൻ കഴിയില്ല.","composer.cloudFollowUp.cloud":"ക്ലൗഡ്","composer.cloudFollowUp.local":"ലോക്കൽ","composer.cloudFollowUp.whereRun":"ഈ തുടർനടപടി എവിടെയാണ് റൺ ചെയ്യുന്നത്?","composer.cloudTaskCreationError":"ക്ലൗഡ് ടാസ്ക് സൃഷ്ടിക്കുന്നതിൽ പിശക്","composer.cloudTaskError":"ടാസ്ക് സൃഷ്ടിക്കുന്നതിൽ പിശക്","composer.contextWindow.autoCompactionTooltipLine1":"Codex സന്ദർഭം സ്വയമേവ ചുരുക്കുന്നു","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"സന്ദർഭ വിൻഡോ:","composer.contextWindowUsageStatusFull":"{usage}% നിറഞ്ഞിരിക്കുന്നു","composer.contextWindowUsageStatusLeft":"{usage}% ഉപയോഗിച്ചു ({remaining}% ബാക്കി)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens ഉപയോഗിച്ചു","composer.customCliTooltip":"ഒരു കസ്റ്റം CLI എക്സിക്യൂട്ടബിൾ ഉപയോഗിക്കുന്നു","composer.dictation.aria":"ഡിക്റ്റേറ്റ്","composer.dictation.cancel.aria":"ഡിക്റ്റേഷൻ നിർത്തുക","composer.dictation.cancel.tooltip":"ഡിക്റ്റേഷൻ നിർത്തുക","composer.dictation.startError":"ഡിക്റ്റേഷൻ ആരംഭിക്കാനായില്ല","composer.dictation.submit.aria":"ട്രാൻസ്ക്രൈബ് ചെയ്ത് അയക്കുക","composer.dictation.submit.tooltip":"ട്രാൻസ്ക്രൈബ് ചെയ്ത് അയക്കുക","composer.dictation.tooltip":"സംസാരിച്ച് രേഖപ്പെടുത്താൻ അമർത്തിപ്പിടിക്കുക","composer.dictation.transcribeError":"ഓഡിയോ ട്രാൻസ്‌ക്രൈബ് ചെയ്യാൻ കഴിയുന്നില്ല","composer.dictation.unsupported":"ഈ ഉപകരണത്തിൽ ഡിക്റ്റേഷൻ ലഭ്യമല്ല","composer.dropOverlay.holdShift":"ഡ്രോപ്പ് ചെയ്യാൻ {key} അമർത്തിപ്പിടിക്കുക","composer.dropOverlay.shiftKey":"ഷിഫ്റ്റ്","composer.environmentSelector.createNew":"പുതിയത് സൃഷ്ടിക്കുക","composer.environmentSelector.error":"എൻവയോൺമെന്‍റുകൾ ലോഡ് ചെയ്യുന്നതിൽ പിശക്","composer.environmentSelector.goBack":"കമ്പോസറിലേക്ക് മടങ്ങുക","composer.environmentSelector.title":"എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കുക","composer.environmentSelector.tooltip":"ഒരു ക്ലൗഡ് എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കുക","composer.feedbackSlashCommand.title":"ഫീഡ്ബാക്ക്","composer.filePicker.selectFile":"ഒരു ഫയൽ തിരഞ്ഞെടുക്കുക","composer.filePicker.selectFiles":"ഫയലുകൾ തിരഞ്ഞെടുക്കുക","composer.followerTooltip":"തുടരാൻ, ഈ സംഭാഷണം ആരംഭിച്ച വിൻഡോയിലേക്ക് മടങ്ങുക.","composer.footer.branchSwitch.checkoutError":"ബ്രാഞ്ച് മാറ്റുന്നതിൽ പരാജയപ്പെട്ടു: {message}","composer.footer.branchSwitch.createAndCheckout":"പുതിയ ബ്രാഞ്ച് നിർമ്മിച്ച് ചെക്കൗട്ട് ചെയ്യുക…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"പുതിയ ബ്രാഞ്ച് നിർമ്മിച്ച് ചെക്കൗട്ട് ചെയ്യുന്നതിനായി മാറ്റങ്ങൾ കമ്മിറ്റ് ചെയ്യുക","composer.footer.branchSwitch.createBranchError":"ബ്രാഞ്ച് സൃഷ്ടിക്കാനായില്ല: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ബ്രാഞ്ചിന്‍റെ പേര്","composer.footer.branchSwitch.createDialog.branchExistsError":"ബ്രാഞ്ച് നിലവിലുണ്ട്.","composer.footer.branchSwitch.createDialog.close":"അടയ്ക്കുക","composer.footer.branchSwitch.createDialog.createAndCheckout":"നിർമ്മിച്ച് ചെക്കൗട്ട് ചെയ്യുക","composer.footer.branchSwitch.createDialog.placeholder":"പുതിയ ബ്രാഞ്ച്","composer.footer.branchSwitch.createDialog.title":"ബ്രാഞ്ച് നിർമ്മിച്ച് ചെക്കൗട്ട് ചെയ്യുക","composer.footer.branchSwitch.createDialog.trailingSlashError":"ബ്രാഞ്ചിന്‍റെ പേര്  “/” ൽ അവസാനിക്കരുത്.","composer.footer.branchSwitch.tooltip":"ബ്രാഞ്ച് മാറ്റുക","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} ചെക്ക് ഔട്ട് ചെയ്യുന്നതിനായി {fileCount, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}-ലെ മാറ്റങ്ങൾ കമ്മിറ്റ് ചെയ്യുക.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"കമ്മിറ്റ്","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} ചെക്ക് ഔട്ട് (Check out) ചെയ്യുന്നതിനായി {fileCount, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}-ലെ മാറ്റങ്ങൾ.","composer.footer.branchSwitch.uncommittedDialog.cancel":"റദ്ദാക്കുക","composer.footer.branchSwitch.uncommittedDialog.commit":"കമ്മിറ്റ് ചെയ്ത് ബ്രാഞ്ച് മാറ്റുക...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"ചെക്ക് ഔട്ട് ചെയ്യുന്നതിലൂടെ താഴെ പറയുന്ന ഫയലുകളിലെ നിങ്ങളുടെ മാറ്റങ്ങൾ ഓവർറൈറ്റ് ചെയ്യപ്പെടും:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"തുടരുന്നതിനായി നിങ്ങളുടെ മാറ്റങ്ങൾ കമ്മിറ്റ് ചെയ്യുക","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"തിരഞ്ഞെടുത്ത ബ്രാഞ്ച്","composer.footer.branchSwitch.uncommittedDialog.title":"ബ്രാഞ്ച് മാറ്റുന്നതിനായി മാറ്റങ്ങൾ കമ്മിറ്റ് ചെയ്യുക","composer.footer.branchSwitch.uncommittedSummaryPrefix":"കമ്മിറ്റ് ചെയ്യാത്തവ: {fileCount, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}","composer.forkSlashCommand.description":"ഈ ത്രെഡ് ലോക്കൽ അല്ലെങ്കിൽ ഒരു പുതിയ വർക്ക് ട്രീയിലേക്ക് മാറ്റുക","composer.forkSlashCommand.option.local.description":"ഒരു പുതിയ ലോക്കൽ ത്രെഡിൽ തുടരുക","composer.forkSlashCommand.option.local.title":"ലോക്കലിലേക്ക് മാറ്റുക","composer.forkSlashCommand.option.worktree.description":"ഒരു പുതിയ വർക്ക് ട്രീയിൽ തുടരുക","composer.forkSlashCommand.option.worktree.title":"പുതിയ വർക്ക് ട്രീയിലേക്ക് മാറ്റുക","composer.forkSlashCommand.title":"ഫോർക്ക്","composer.ideContextIndicator":"IDE സന്ദർഭം","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"{br} സെലക്ഷൻ സ്റ്റേറ്റും ഓപ്പൺ ഫയലുകളും പോലുള്ള IDE-യിൽ നിന്നുള്ള സന്ദർഭം ഉൾപ്പെടുത്തുക.","composer.ideContextIndicator.tooltipToggle":"ടോഗിൾ ചെയ്യാൻ","composer.ideContextSlashCommand.disableDescription":"IDE കോൺടെക്സ്റ്റ് ഓഫ് ചെയ്യുക","composer.ideContextSlashCommand.enableDescription":"നിങ്ങളുടെ IDE-യിൽ നിന്ന് നിലവിലെ സെലക്ഷൻ, തുറന്ന ഫയലുകൾ, മറ്റ് വിവരങ്ങൾ എന്നിവ ഉൾപ്പെടുത്തുക","composer.ideContextSlashCommand.title":"IDE സന്ദർഭം","composer.imageInputsUnsupported":"ഈ മോഡൽ ചിത്രങ്ങൾ സപ്പോർട്ട് ചെയ്യുന്നില്ല. മറ്റൊരു മോഡൽ പരീക്ഷിക്കുക.","composer.imageUploadFailed":"ചിത്രം അപ്‌ലോഡ് ചെയ്യാനായില്ല","composer.includeIdeContextDropdown":"IDE കോണ്ടക്സ്റ്റ് ഉൾപ്പെടുത്തുക","composer.includeIdeContextDropdown.ariaLabel":"IDE കോണ്ടക്സ്റ്റ് ഉൾപ്പെടുത്തുക","composer.localCwdDropdown.addWorkspaceRoot":"പുതിയ പ്രോജക്റ്റ് ചേർക്കുക","composer.localCwdDropdown.noActiveRoot":"നിങ്ങളുടെ പ്രോജക്റ്റ് തിരഞ്ഞെടുക്കുക","composer.localCwdDropdown.noResults":"ഫോൾഡറുകളൊന്നും കണ്ടെത്തിയില്ല","composer.localCwdDropdown.title":"നിങ്ങളുടെ പ്രോജക്റ്റ് തിരഞ്ഞെടുക്കുക","composer.localTaskError":"സംഭാഷണം ആരംഭിക്കുന്നതിൽ പിശക്","composer.mcpSlashCommand.description":"MCP സെർവർ സ്റ്റാറ്റസ് കാണിക്കുക","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ആധികാരികമാക്കിയിട്ടില്ല","composer.mcpStatus.authOauth":"ആധികാരികത ഉറപ്പുവരുത്തിയത് (OAuth)","composer.mcpStatus.authToken":"ആധികാരികത ഉറപ്പുവരുത്തിയത് (API key)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"അടയ്ക്കുക","composer.mcpStatus.disabled":"പ്രവർത്തനരഹിതമാക്കി","composer.mcpStatus.emptyLabel":"സെർവറുകൾ:","composer.mcpStatus.emptyValue":"MCP സെർവറുകളൊന്നും കോൺഫിഗർ ചെയ്തിട്ടില്ല","composer.mcpStatus.enabled":"പ്രവർത്തന സജ്ജമാക്കി","composer.mcpStatus.errorLabel":"നില:","composer.mcpStatus.errorValue":"MCP സ്റ്റാറ്റസ് ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ഏജൻ്റ്","composer.mode.agentMode.auto.dropdownLabel":"ഏജൻ്റ്","composer.mode.agentMode.auto.optionLabel":"ഏജൻ്റ്","composer.mode.agentMode.changePermission":"മോഡ് മാറുക","composer.mode.agentMode.custom":"ഇഷ്‌ടാനുസൃതം","composer.mode.agentMode.custom.dropdownLabel":"ഇഷ്‌ടാനുസൃതം","composer.mode.agentMode.custom.option":"ഇഷ്‌ടാനുസൃതം (config.toml)","composer.mode.agentMode.custom.optionLabel":"ഇഷ്‌ടാനുസൃതം (config.toml)","composer.mode.agentMode.customInfo.cancel":"റദ്ദാക്കുക","composer.mode.agentMode.customInfo.cli":"നിങ്ങൾക്ക് ആ ക്രമീകരണങ്ങൾ CLI-യിൽ നിന്നോ ഫയൽ നേരിട്ട് എഡിറ്റ് ചെയ്തോ ക്രമീകരിക്കാം.","composer.mode.agentMode.customInfo.confirm":"ഇഷ്‌ടാനുസൃത മോഡ് ഉപയോഗിക്കുക","composer.mode.agentMode.customInfo.description":"നിങ്ങളുടെ config.toml ഫയലിൽ നിർവചിച്ചിരിക്കുന്ന അംഗീകാര നയങ്ങളും സാൻഡ്‌ബോക്‌സ്<link>നയങ്ങളും കസ്റ്റം മോഡ്</link>പ്രയോഗിക്കുന്നു.","composer.mode.agentMode.customInfo.docs":"എക്സിക്യൂഷൻ എൻവയോൺമെന്റ് ഡോക്സിൽ അപ്രൂവൽ, സാൻഡ്‌ബോക്‌സ് നയങ്ങൾ<link>കോൺഫിഗർ ചെയ്യുന്നതിനെക്കുറിച്ച് കൂടുതലറിയുക</link>.","composer.mode.agentMode.customInfo.refresh":"അടുത്ത തവണ ഏജൻ്റ് പ്രവർത്തിക്കുമ്പോൾ എല്ലാ മാറ്റങ്ങളും പ്രാബല്യത്തിൽ വരും.","composer.mode.agentMode.customInfo.title":"ഇഷ്ടാനുസൃത മോഡ് എങ്ങനെ പ്രവർത്തിക്കുന്നു","composer.mode.agentMode.fullAccess":"ഏജൻ്റ് (പൂർണ്ണമായ ആക്സസ്)","composer.mode.agentMode.fullAccess.dropdownLabel":"ഏജൻ്റ് (പൂർണ്ണമായ ആക്സസ്)","composer.mode.agentMode.fullAccess.optionLabel":"ഏജൻ്റ് (പൂർണ്ണമായ ആക്സസ്)","composer.mode.agentMode.fullAccessConfirm.caution":"പൂർണ്ണമായ ആക്സസ് പ്രവർത്തനക്ഷമമാക്കുമ്പോൾ ജാഗ്രത പാലിക്കുക. ഇത് ഡാറ്റ നഷ്‌ടപ്പെടൽ, ചോർച്ച അല്ലെങ്കിൽ അപ്രതീക്ഷിത പെരുമാറ്റം എന്നിവയ്ക്കുള്ള സാധ്യത ഗണ്യമായി വർദ്ധിപ്പിക്കുന്നു.","composer.mode.agentMode.fullAccessConfirm.confirm":"അതെ, എന്തായാലും തുടരുക","composer.mode.agentMode.fullAccessConfirm.description":"Codex പൂർണ്ണമായ ആക്‌സസോടെ പ്രവർത്തിക്കുമ്പോൾ, നിങ്ങളുടെ അനുമതിയില്ലാതെ തന്നെ, നിങ്ങളുടെ കമ്പ്യൂട്ടറിലെ ഏത് ഫയലും എഡിറ്റ് ചെയ്യാനും നെറ്റ്‌വർക്ക് ഉപയോഗിച്ച് കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കാനും അതിന് കഴിയും.","composer.mode.agentMode.fullAccessConfirm.goBack":"റദ്ദാക്കുക","composer.mode.agentMode.fullAccessConfirm.title":"പൂർണ്ണമായ ആക്‌സസ് അനുവദിക്കണോ?","composer.mode.agentMode.readOnly":"ചാറ്റ്","composer.mode.agentMode.readOnly.dropdownLabel":"ചാറ്റ്","composer.mode.agentMode.readOnly.optionLabel":"ചാറ്റ്","composer.mode.agentMode.tooltip":"മോഡ് മാറുക","composer.mode.agentMode.tooltip.auto":"ഫയലുകൾ വായിക്കുക, എഡിറ്റ് ചെയ്യുക, കമാൻഡുകൾ റൺ ചെയ്യുക.","composer.mode.agentMode.tooltip.custom":"config.toml-ൽ നിർവചിച്ചിരിക്കുന്ന ഏറ്റവും പുതിയ അംഗീകാര നയങ്ങളും സാൻഡ്‌ബോക്‌സ് നയങ്ങളും ഉപയോഗിക്കുക.","composer.mode.agentMode.tooltip.fullAccess":"Codex-ന് ഈ പ്രോജക്റ്റിന് പുറത്തുള്ള ഫയലുകൾ എഡിറ്റ് ചെയ്യാനും നെറ്റ്‌വർക്ക് ആക്‌സസ് ഉപയോഗിച്ച് കമാൻഡുകൾ റൺ ചെയ്യാനും കഴിയും. ഉപയോഗിക്കുമ്പോൾ ജാഗ്രത പാലിക്കുക.","composer.mode.agentMode.tooltip.readOnly":"ഫയലുകൾ എഡിറ്റ് ചെയ്യാനും കമാൻഡുകൾ റൺ ചെയ്യാനും അനുമതി ആവശ്യമാണ്.","composer.mode.cloud.tooltip":"ഒരു ക്ലൗഡ് എൻവയോൺമെന്‍റില്‍ പ്രവർത്തിക്കുക","composer.mode.contactAdmin":"കൂടുതൽ ആക്സസ് ലഭിക്കാൻ, നിങ്ങളുടെ അഡ്‌മിനെ ബന്ധപ്പെടുക","composer.mode.local":"ലോക്കൽ","composer.mode.local.learnMore":"കൂടുതലറിയുക","composer.mode.local.model.custom":"ഇഷ്‌ടാനുസൃതം","composer.mode.local.model.loadingModel":"മോഡൽ ലോഡ് ചെയ്യുന്നു","composer.mode.local.model.selecrReasoningEffort":"റീസണിംഗ് തിരഞ്ഞെടുക്കുക","composer.mode.local.model.selectModel":"മോഡൽ തിരഞ്ഞെടുക്കുക","composer.mode.local.model.tooltip":"മോഡൽ തിരഞ്ഞെടുക്കുക","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"കൂടുതൽ","composer.mode.local.reasoning.low.label":"കുറവ്","composer.mode.local.reasoning.medium.label":"ഇടത്തരം","composer.mode.local.reasoning.minimal.label":"വളരെ കുറവ്","composer.mode.local.reasoning.none.label":"ഒന്നുമില്ല","composer.mode.local.reasoning.xhigh.label":"വളരെ ഉയർന്നത്","composer.mode.localRemoteWhereRun":"ടാസ്‌ക് എവിടെ റൺ ചെയ്യണമെന്ന് തിരഞ്ഞെടുക്കുക","composer.mode.newTask.header":"ഇതിൽ തുടരുക","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"ശേഷിക്കുന്ന നിരക്ക് പരിധികൾ","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} പരിധി:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ആഴ്ചതോറുമുള്ള പരിധി} other {{weeks} ആഴ്ചയിലെ പരിധി}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ആഴ്ചതോറും} other {{weeks} ആഴ്ച}}","composer.mode.remote.connectToCloud":"Codex വെബ് ബന്ധിപ്പിക്കുക","composer.mode.remote.connectToCloudDisabledTooltip":"ക്ലൗഡിലേക്ക് ടാസ്‌ക്കുകൾ അയയ്‌ക്കാൻ അനുവദിക്കുന്നതിന് Codex‌ വെബ് വഴി ഒരു എൻവയോൺമെൻ്റ് സജ്ജീകരിക്കുക","composer.mode.remote.selectEnvironment":"എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കുക","composer.mode.remote.sendToCloud":"ക്ലൗഡിലേക്ക് അയയ്ക്കുക","composer.mode.remote.setupViaWeb":"Codex വെബ് വഴി ഒരു എൻവയോൺമെൻ്റ് സജ്ജമാക്കുക","composer.mode.runInCloud":"ക്ലൗഡ്","composer.mode.runInCloudWithEnvironment":"ക്ലൗഡ് · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ക്ലൗഡ് എൻവയോൺമെന്‍റില്‍ പ്രവർത്തിക്കുക","composer.mode.segmentedToggle.local.tooltip":"നിങ്ങളുടെ ലോക്കൽ പ്രോജക്റ്റിൽ പ്രവർത്തിക്കുക","composer.mode.segmentedToggle.worktree.tooltip":"ഒരു സമാന്തര വർക്ക്ട്രീയിൽ പ്രവർത്തിക്കുക","composer.mode.upgradeToPlus":"Plus-ലേക്ക് അപ്ഗ്രേഡ് ചെയ്യുക","composer.mode.upgradeToPro":"Pro-ലേക്ക് അപ്ഗ്രേഡ് ചെയ്യുക","composer.mode.workLocally":"ലോക്കൽ പ്രോജക്റ്റ്","composer.mode.workLocally.currentBranchFallback":"നിങ്ങളുടെ ബ്രാഞ്ച്","composer.mode.workLocally.tooltip":"{branchName}-ൽ പ്രവർത്തിക്കുക","composer.mode.worktree":"പുതിയ വർക്ക്ട്രീ","composer.mode.worktree.submoduleWarning":"ഈ റിപ്പോസിറ്ററിയിൽ git സബ്മോഡ്യൂളുകൾ ഉണ്ട്. വർക്ക് ട്രീ നിർമ്മാണം പരാജയപ്പെട്ടേക്കാം.","composer.mode.worktree.tooltip":"സമാന്തരമായി പ്രവർത്തിക്കാൻ നിങ്ങളുടെ പ്രാദേശിക പ്രോജക്റ്റിന്‍റെ ഒരു പകർപ്പ് സൃഷ്‌ടിക്കുക","composer.mode.worktreeSegment":"വർക്ക്ട്രീ","composer.modelChangeDuringConversationWarning.toast":"സംഭാഷണത്തിനിടയിൽ മോഡലുകൾ മാറ്റുന്നത് പ്രകടനത്തെ ബാധിച്ചേക്കാം.","composer.newChat.heading.browser":"അടുത്തതായി നമ്മൾ എന്താണ് കോഡ് ചെയ്യേണ്ടത്?","composer.permissionsDropdown.agentMode.tooltip.custom":"config.toml-ൽ നൽകിയിരിക്കുന്ന അനുമതികളാണ് Codex ഉപയോഗിക്കുന്നത്.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex-ന് നിങ്ങളുടെ കമ്പ്യൂട്ടറിൽ പൂർണ്ണമായ ആക്സസ് ഉണ്ട് (ഉയർന്ന തോതിലുള്ള റിസ്ക്)","composer.permissionsDropdown.custom.label":"ഇഷ്‌ടാനുസൃതം (config.toml)","composer.permissionsDropdown.custom.optionLabel":"ഇഷ്‌ടാനുസൃതം (config.toml)","composer.permissionsDropdown.default.label":"ഡിഫോൾട്ട് അനുമതികൾ","composer.permissionsDropdown.default.optionLabel":"ഡിഫോൾട്ട് അനുമതികൾ","composer.permissionsDropdown.default.tooltip":"Codex ഒരു സാൻഡ്‌ബോക്സിൽ സ്വയമേവ കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കുന്നു","composer.permissionsDropdown.disabled.requirements":"പെർമിഷനുകൾ വഴി ലോക്ക് ചെയ്തിരിക്കുകയാണ്.","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml വഴി ഫുൾ ആക്സസ് പ്രവർത്തനരഹിതമാക്കി","composer.permissionsDropdown.fullAccess.label":"പൂർണ്ണമായ ആക്സസ്","composer.permissionsDropdown.fullAccess.optionLabel":"പൂർണ്ണമായ ആക്സസ്","composer.permissionsDropdown.trigger.tooltip":"അനുമതികൾ മാറ്റുക","composer.personalitySlashCommand.description.friendly":"സൗഹൃദപരവും സഹകരണപരവും സഹായകരവുമാണ്","composer.personalitySlashCommand.description.pragmatic":"ചുരുങ്ങിയതും, കാര്യമാത്രപ്രസക്തവും, നേരിട്ടുള്ളതുമാണ്","composer.personalitySlashCommand.label.friendly":"സൗഹാർദ്ദപരമായ","composer.personalitySlashCommand.label.pragmatic":"പ്രായോഗികം","composer.personalitySlashCommand.notApplicableSuffix":"(നിലവിലെ മോഡലിന് ബാധകമല്ല)","composer.personalitySlashCommand.title":"വ്യക്തിത്വം","composer.placeholder.cloudFollowUp.directFollowUp":"ഈ ക്ലൗഡ് ടാസ്‌ക്കിന്‍റെ തുടർനടപടികൾ","composer.placeholder.cloudFollowUp.local":"ഈ ക്ലൗഡ് ടാസ്‌ക്കിനെ പരാമർശിക്കുന്ന ഒരു പുതിയ ലോക്കൽ ടാസ്‌ക്ക് സൃഷ്‌ടിക്കുക","composer.placeholder.cloudFollowUp.workingTree":"നിങ്ങളുടെ നിലവിലെ കോഡ് ഉൾപ്പെടുന്നതും ഈ ടാസ്‌ക്കിനെ പരാമർശിക്കുന്നതുമായ ഒരു പുതിയ ക്ലൗഡ് ടാസ്‌ക്ക് സൃഷ്ടിക്കുക","composer.placeholder.localFollowUp.cloud":"പുതിയ ക്ലൗഡ് ടാസ്‌ക്കിലെ തുടർനടപടികൾ","composer.placeholder.localFollowUp.locally":"തുടർ മാറ്റങ്ങൾ ആവശ്യപ്പെടുക","composer.placeholder.newTask.cloud":"ക്ലൗഡിൽ എന്തും ചെയ്യാൻ Codex-നോട് ആവശ്യപ്പെടുക","composer.placeholder.newTask.doAnything":"Codex-നോട് എന്തും ചെയ്യാൻ ആവശ്യപ്പെടുക","composer.placeholder.newTask.locally":"Codex-നോട് എന്തും ചോദിക്കൂ, ഫയലുകൾ ചേർക്കാൻ @, കമാൻഡുകൾക്കായി / ഉപയോഗിക്കുക","composer.planModeDropdown":"പ്ലാൻ മോഡ്","composer.planModeDropdown.ariaLabel":"പ്ലാൻ മോഡ്","composer.planModeIndicator":"പ്ലാൻ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex ഉപയോഗിച്ച് ഒരു പ്ലാൻ തയ്യാറാക്കുക","composer.planModeIndicator.tooltipToggle":"ടോഗിൾ ചെയ്യാൻ","composer.planSlashCommand.disableDescription":"പ്ലാൻ മോഡ് ഓഫ് ചെയ്യുക","composer.planSlashCommand.enableDescription":"പ്ലാൻ മോഡ് ഓൺ ചെയ്യുക","composer.planSlashCommand.title":"പ്ലാൻ മോഡ്","composer.priorContext.label":"മുമ്പത്തേ സന്ദർഭം","composer.priorContext.removeAriaLabel":"മുമ്പത്തെ സന്ദർഭം നീക്കം ചെയ്യുക","composer.queuedMessage.delete":"ക്യൂവിലുള്ള സന്ദേശം ഇല്ലാതാക്കുക","composer.queuedMessage.edit":"സന്ദേശം എഡിറ്റ് ചെയ്യുക","composer.queuedMessage.more":"ക്യൂവിലുള്ള സന്ദേശത്തിന്മേലുള്ള നടപടികൾ","composer.queuedMessage.sendNow":"സ്റ്റിയർ","composer.queuedMessage.sendNowTooltip":"ജോലിയെ തടസ്സപ്പെടുത്താതെ ഇപ്പോൾ തന്നെ അയക്കുക","composer.queuedMessage.turnOff":"ക്യൂയിംഗ് ഓഫാക്കുക","composer.reasoningEffort.local.reasoning.tooltip":"റീസണിംഗ് അധ്വാനം തിരഞ്ഞെടുക്കുക","composer.remote.branchStartingPoint":"ഏത് ബ്രാഞ്ചിൽ നിന്നാണ് ഈ ടാസ്ക് ആരംഭിക്കേണ്ടത്?.","composer.remote.branchesSectionHeading":"ബ്രാഞ്ചുകൾ","composer.remote.currentEditsSuffix.followUp":"ഈ ക്ലൗഡ് ടാസ്‌ക്കിനെ പരാമർശിക്കുന്ന ഒരു പുതിയ ടാസ്‌ക്ക് സൃഷ്‌ടിക്കുക.","composer.remote.currentEditsSuffix.useLocal":"ലോക്കൽ കോഡ് മാറ്റങ്ങളോടെ","composer.remote.directFollowUp":"പ്രാദേശിക മാറ്റങ്ങൾ ഉപയോഗിക്കരുത്","composer.remote.errorLoadingBranches":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യുന്നതിൽ പിശക്","composer.remote.fromBranch":"{branch}-ൽ നിന്ന്","composer.remote.fromCurrentBranch":"{branch}-ൽ നിന്ന് (നിലവിലുള്ളത്)","composer.remote.loadingMoreBranches":"ലോഡിംഗ്...","composer.remote.localFileStateHeading":"ലോക്കൽ ഫയൽ സ്റ്റേറ്റ്","composer.remote.localWorkingTree":"പ്രാദേശിക മാറ്റങ്ങൾ ഉപയോഗിക്കുക","composer.remote.startingPoint":"ഈ ടാസ്ക് ഏത് കോഡിൽ നിന്നാണ് ആരംഭിക്കേണ്ടത്?","composer.reviewMode.branches.error":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല","composer.reviewMode.branches.retry":"വീണ്ടും ശ്രമിക്കുക","composer.reviewMode.gitRoot.error":"Git റൂട്ട് കണ്ടെത്തിയില്ല","composer.reviewMode.option.baseBranch.simple":"ഒരു ബേസ് ബ്രാഞ്ചിനെതിരെയുള്ള അവലോകനം","composer.reviewMode.option.unstaged.simple":"തീർപ്പാക്കാത്ത മാറ്റങ്ങൾ അവലോകനം ചെയ്യുക","composer.reviewMode.quickReviewError":"കോഡ് അവലോകനം ആരംഭിക്കാനായില്ല.","composer.reviewMode.title":"കോഡ് അവലോകനം","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml വഴി ഫുൾ ആക്സസ് പ്രവർത്തനരഹിതമാക്കി","composer.sandboxButton.windowsSandboxDialog.content":"ഫയൽ സിസ്റ്റം, നെറ്റ്‌വർക്ക് ആക്സസ് എന്നിവ പരിമിതപ്പെടുത്തുന്നതിനായി Windows-ൽ ഒരു പരീക്ഷണാടിസ്ഥാനത്തിലുള്ള സാൻഡ്‌ബോക്‌സ് ഉപയോഗിക്കാൻ Codex-ന് സാധിക്കും. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows സാൻഡ്‌ബോക്‌സ് പ്രവർത്തനക്ഷമമാക്കണോ?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"റീഡ് ഒൺലി ആയി ഉപയോഗിക്കുക","composer.searchEnvironments":"എൻവയോൺമെന്‍റുകൾ തിരയുക","composer.skillMentionList.app":"ആപ്പ്","composer.skillMentionList.appLogoAlt":"{name}ലോഗോ","composer.skillMentionList.loading":"സ്കില്ലുകൾ ലോഡ് ചെയ്യുന്നു…","composer.skillMentionList.noResults":"സ്കില്ലുകൾ ഒന്നും കണ്ടെത്തിയില്ല","composer.slashCommands.cloudEnvironment.title":"ക്ലൗഡ് എൻവയോൺമെൻ്റ്","composer.slashCommands.dialogLabel":"സ്ലാഷ് കമാൻഡ് മെനു","composer.slashCommands.dialogTitle":"സ്ലാഷ് കമാൻഡുകൾ","composer.slashCommands.disabledTooltip":"സ്ലാഷ് കമാൻഡുകൾ ഉപയോഗിക്കാൻ ഒരു പുതിയ സംഭാഷണം ആരംഭിക്കുക","composer.slashCommands.inputPlaceholder":"തിരയുക","composer.slashCommands.noResults":"കമാൻഡുകൾ ഇല്ല","composer.slashCommands.skillsGroup":"സ്കില്ലുകൾ","composer.slashCommands.tooltip":"സ്ലാഷ് കമാൻഡുകൾ ബ്രൗസ് ചെയ്യുക","composer.status.close":"അടയ്ക്കുക","composer.statusPlain.alertLabel":"അലേർട്ട്:","composer.statusPlain.alertValue":"{window}-ൽ {remaining}% ബാക്കിയുണ്ട്","composer.statusPlain.contextLabel":"സന്ദർഭം:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ഉപയോഗിച്ചു / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% അവശേഷിക്കുന്നു","composer.statusPlain.heading":"നില","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} പരിധി:","composer.statusPlain.rateLimitDays":"{count}d പരിധി","composer.statusPlain.rateLimitFallbackLabel":"നിരക്ക് പരിധി:","composer.statusPlain.rateLimitHours":"{count}h പരിധി","composer.statusPlain.rateLimitLabelBase":"നിരക്ക് പരിധി:","composer.statusPlain.rateLimitMinutes":"{count}m പരിധി","composer.statusPlain.rateLimitPercent":"{remaining}% അവശേഷിക്കുന്നു","composer.statusPlain.rateLimitReset":"{time} റീസെറ്റ് ചെയ്യുന്നു","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"റീസെറ്റ് സമയം ലഭ്യമല്ല","composer.statusPlain.rateLimitUnavailable":"ലഭ്യമല്ല","composer.statusPlain.sessionCopiedAriaLabel":"സെഷൻ ID പകർത്തി","composer.statusPlain.sessionCopiedTooltip":"ID പകർത്തി","composer.statusPlain.sessionCopyAriaLabel":"സെഷൻ ID പകർത്തുക","composer.statusPlain.sessionCopyTooltip":"ID പകർത്തുക","composer.statusPlain.sessionLabel":"സെഷൻ:","composer.statusSlashCommand.description":"ത്രെഡ് ഐഡി, സന്ദർഭ ഉപയോഗം, നിരക്ക് പരിധികൾ എന്നിവ കാണിക്കുക","composer.statusSlashCommand.title":"നില","composer.submit.blockedDialogOk":"ഓക്കേ","composer.submit.blockedDialogTitle":"സന്ദേശം അയയ്ക്കാൻ കഴിയുന്നില്ല","composer.submit.emptyMessage":"ആരംഭിക്കാൻ ഒരു സന്ദേശം നൽകുക","composer.submit.imageInputsUnsupported":"ഈ സന്ദേശം അയക്കുന്നതിനായി ചിത്രങ്ങൾ ഒഴിവാക്കുക അല്ലെങ്കിൽ മോഡൽ മാറ്റുക.","composer.submit.loadingLocalConfig":"ലോഡിംഗ്...","composer.submit.missingCloudConfig":"നിങ്ങൾ ഒരു ക്ലൗഡ് എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കണം","composer.submit.missingCloudTurn":"ഈ ടാസ്‌ക്കിൽ ഫോളോ-അപ്പ് ചെയ്യാൻ കഴിയില്ല","composer.submit.noWorkspace":"Codex ഉപയോഗിക്കുന്നതിനായി ഒരു പ്രോജക്റ്റ് ചേർക്കുക","composer.submit.waitForImageUploads":"ചിത്രങ്ങൾ അപ്‌ലോഡ് ചെയ്യുന്നു…","composer.submitButtonTooltip.send":"അയക്കുക","composer.submitButtonTooltip.stop":"നിർത്തുക","composer.worktreeEnvironment.create":"ലോക്കൽ എൻവയോൺമെൻ്റ് സൃഷ്ടിക്കുക","composer.worktreeEnvironment.default":"ഡിഫോൾട്ട് എൻവയോൺമെൻ്റ്","composer.worktreeEnvironment.error":"എൻവയോൺമെന്‍റുകൾ ലോഡ് ചെയ്യുന്നതിൽ പിശക്","composer.worktreeEnvironment.loading":"എൻവയോൺമെന്‍റുകൾ ലോഡ് ചെയ്യുന്നു…","composer.worktreeEnvironment.title":"ലോക്കൽ എൻവയോൺമെൻ്റ്","composer.worktreeEnvironment.tooltip":"ലോക്കൽ എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കുക","composer.worktreeSetupFailed":"വർക്ക്‌ട്രീ സജ്ജീകരണം പരാജയപ്പെട്ടു. സജ്ജീകരണ സ്ക്രിപ്റ്റിനായി .codex/environments പരിശോധിക്കുക.","compoundButton.secondaryAction":"സെക്കൻഡറി ആക്ഷൻ","copyButton.copied":"പകർത്തി","copyButton.copiedAriaLabel":"പകർത്തി","copyButton.copy":"പകർത്തുക","copyButton.copyAriaLabel":"പകർത്തുക","copyButton.copyCode":"കോഡ് പകർത്തുക","diff.actionButton.revertFile":"ഫയൽ തിരിച്ചയക്കുക","diff.actionButton.revertHunk":"തിരിച്ചയക്കുക","diff.actionButton.revertSection":"എല്ലാം തിരിച്ചയക്കുക","diff.actionButton.revertSectionLabel":"എല്ലാം തിരിച്ചയക്കുക","diff.actionButton.stageFile":"സ്റ്റേജ് ഫയൽ","diff.actionButton.stageHunk":"സ്റ്റേജ്","diff.actionButton.stageSection":"എല്ലാം സ്റ്റേജ്ചെയ്യുക","diff.actionButton.stageSectionLabel":"എല്ലാം സ്റ്റേജ്ചെയ്യുക","diff.actionButton.unstageFile":"ഫയൽ അൺസ്റ്റേജ് ചെയ്യുക","diff.actionButton.unstageHunk":"അൺസ്റ്റേജ്","diff.actionButton.unstageSection":"എല്ലാം അൺസ്റ്റേജ് ചെയ്യുക","diff.actionButton.unstageSectionLabel":"എല്ലാം അൺസ്റ്റേജ് ചെയ്യുക","diff.fileHeader.toggle":"ഫയൽ ഡിഫ് ടോഗിൾ ചെയ്യുക","electron.onboarding.login.apikey.cancel":"റദ്ദാക്കുക","electron.onboarding.login.apikey.continue":"തുടരുക","electron.onboarding.login.apikey.label":"OpenAI API കീ","electron.onboarding.login.apikey.open":"API കീ എൻ്റർ ചെയ്യുക","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"സൈൻ ഇൻ റദ്ദാക്കുക","electron.onboarding.login.chatgpt.continue":"ChatGPT ഉപയോഗിച്ച് തുടരുക","electron.onboarding.login.devbox":"ഒരു റിമോട്ട് SSH-ലേക്ക് ബന്ധിപ്പിക്കുക","electron.onboarding.login.error":"സൈൻ ഇൻ ചെയ്യാനായില്ല: {rawMessage}","electron.onboarding.login.snake.start":"Snake കളിക്കൂ","electron.onboarding.login.sshConfig.cancel":"റദ്ദാക്കുക","electron.onboarding.login.sshConfig.continue":"തുടരുക","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ഏജന്‍റുകൾക്കൊപ്പം നിർമ്മിക്കുന്നതിനുള്ള ഏറ്റവും മികച്ച മാർഗ്ഗം","electron.onboarding.login.title":"Codex-ലേക്ക് സ്വാഗതം","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"തുടരുക","electron.onboarding.welcome.doubleLimits.description":"Codex ആപ്പ് ലോഞ്ചിന്‍റെ ആഘോഷഭാഗമായി, ഏപ്രിൽ 2 വരെ നിങ്ങൾക്ക് 2 മടങ്ങ് അധികം റേറ്റ് ലിമിറ്റുകൾ ലഭ്യമാണ്.","electron.onboarding.welcome.freego.description":"മാർച്ച് 2 വരെ നിങ്ങളുടെ പ്ലാനിൽ Codex സൗജന്യമായി ഉൾപ്പെടുത്തിയിട്ടുണ്ട് – നമുക്ക് ഒരുമിച്ച് നിർമ്മാണം ആരംഭിക്കാം.","electron.onboarding.welcome.new.title.anon":"സ്വാഗതം!","electron.onboarding.workspace.continue":"തുടരുക","electron.onboarding.workspace.empty":"തുടരുന്നതിനായി ഒരു പ്രോജക്റ്റ് ചേർക്കുക.","electron.onboarding.workspace.listLabel":"ലഭ്യമായ പ്രോജക്റ്റുകൾ","electron.onboarding.workspace.loading":"പ്രോജക്റ്റുകൾ ലോഡ് ചെയ്യുന്നു…","electron.onboarding.workspace.openFolder":"പ്രോജക്റ്റ് ചേർക്കുക","electron.onboarding.workspace.selectAll":"എല്ലാം തിരഞ്ഞെടുക്കുക","electron.onboarding.workspace.skip":"ഒഴിവാക്കുക","electron.onboarding.workspace.skip.error":"പുതിയ പ്രോജക്റ്റ് നിർമ്മിക്കാൻ കഴിഞ്ഞില്ല: {message}","electron.onboarding.workspace.skip.error.unknown":"അജ്ഞാതമായ പിശക്","electron.onboarding.workspace.skipping":"പുതിയ പ്രോജക്റ്റ് നിർമ്മിക്കുന്നു…","electron.onboarding.workspace.subtitle":"തിരഞ്ഞെടുത്ത ഫോൾഡറുകളിലെ ഫയലുകൾ എഡിറ്റ് ചെയ്യാനും കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കാനും Codex-ന് സാധിക്കും.","electron.onboarding.workspace.title":"ഒരു പ്രോജക്റ്റ് തിരഞ്ഞെടുക്കുക","errorPage.list.checkSettings":"നിങ്ങളുടെ IDE ക്രമീകരണങ്ങൾ അപ്ഡേറ്റ് ചെയ്യാൻ ശ്രമിക്കുക","errorPage.list.configToml":"തെറ്റായ ക്രമീകരണങ്ങൾക്ക് നിങ്ങളുടെ config.toml പരിശോധിക്കുക","errorPage.list.downloadExtension":"എക്സറ്റൻഷന്‍റെ മറ്റൊരു പതിപ്പ് ഡൗൺലോഡ് ചെയ്യാൻ ശ്രമിക്കുക","errorPage.list.runInWsl":"അനുയോജ്യതാ പ്രശ്നങ്ങൾ കാണുന്നുണ്ടെങ്കിൽ WSL-ൽ പ്രവർത്തിക്കുന്നത് പ്രവർത്തനരഹിതമാക്കാൻ നിങ്ങളുടെ ക്രമീകരണങ്ങൾ പരിശോധിക്കുക","execApprovalRequest.menu.runAlways":"അതെ, ഈ സെഷനിൽ ഇനി ചോദിക്കേണ്ടതില്ല","execApprovalRequest.menu.runAlwaysWithAmendment":"അതെ, {command} എന്ന് ആരംഭിക്കുന്ന കമാൻഡുകൾക്കായി ഇനി ചോദിക്കരുത്","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"അതെ, ഇതില്‍ ആരംഭിക്കുന്ന കമാൻഡുകൾക്കായി ഇനി ചോദിക്കരുത്","execApprovalRequest.menu.runOnce":"അതെ","execApprovalRequest.prompt":"നിങ്ങൾക്ക് ഈ കമാൻഡ് പ്രവർത്തിപ്പിക്കണമെന്നുണ്ടോ?","execApprovalRequest.reject":"വേണ്ട","execFooter.exitCode":"കോഡിൽ നിന്ന് പുറത്തുകടക്കുക {code}","execFooter.exitCode.unknown":"അറിയില്ല","execFooter.success":"വിജയകരം","feedback.dialog.category.badResult":"മോശം റിസൾട്ട്","feedback.dialog.category.bug":"ബഗ്","feedback.dialog.category.goodResult":"നല്ല റിസൾട്ട്","feedback.dialog.category.other":"മറ്റുള്ളവ","feedback.dialog.category.safetyCheck":"സുരക്ഷാ പരിശോധന","feedback.dialog.descriptionPlaceholder":"പ്രശ്നം ഇവിടെ വിവരിക്കുക","feedback.dialog.dismiss":"ഒഴിവാക്കുക","feedback.dialog.includeLogsLabel":"നിലവിലെ Codex സെഷൻ ലോഗുകൾ ഉൾപ്പെടുത്തുക","feedback.dialog.submit":"സമർപ്പിക്കുക","feedback.dialog.submitError":"നിങ്ങളുടെ ഫീഡ്‌ബാക്ക് സമർപ്പിക്കാൻ ഞങ്ങൾക്ക് കഴിഞ്ഞില്ല. അൽപ്പസമയത്തിനുശേഷം വീണ്ടും ശ്രമിക്കുക.","feedback.dialog.title":"ഫീഡ്ബാക്ക്","feedback.dialog.uploadedMessage.existingIssue":"നിലവിലുള്ള ഓപ്പൺ ഇഷ്യൂ","feedback.dialog.uploadedMessage.openIssue":"ഒരു GitHub ഇഷ്യൂ തുറക്കുക","feedback.dialog.uploadedMessage.withThread":"ഫീഡ്‌ബാക്ക് അപ്‌ലോഡ് ചെയ്‌തു. പ്രശ്‌നം നിലനിൽക്കുകയാണെങ്കിൽ, {openIssueLink} അല്ലെങ്കിൽ ഒരു {existingIssueLink}-ൽ ത്രെഡ് ഐഡി പരാമർശിക്കുകയോ ചെയ്യുക:","feedback.dialog.uploadedTitle":"ഫീഡ്‌ബാക്ക് അപ്‌ലോഡ് ചെയ്‌തു","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename}-നെ നീക്കം ചെയ്യുക","header.back":"തിരികെ പോകുക","header.recentChats":"ടാസ്കുകൾ","header.recentTasks.seeAll":"എല്ലാം കാണുക ({total})","home.header.getPlus":"Plus നേടൂ","home.hero.letsBuild":"നമുക്ക് നിർമ്മിക്കാം","homePage.mainContent":"പ്രധാന ഉള്ളടക്കം","imageAttachment.defaultName":"ചിത്രം","imageAttachment.preview.close":"ഇമേജ് പ്രിവ്യൂ ക്ലോസ് ചെയ്യുക","imageAttachment.removeAriaLabel":"{filename}-നെ നീക്കം ചെയ്യുക","implementPlanRequest.option.implement":"അതെ, ഈ പദ്ധതി നടപ്പിലാക്കുക","implementPlanRequest.prompt":"ഈ പദ്ധതി നടപ്പിലാക്കണോ?","inbox.archived.deleteError":"ആർക്കൈവ് ചെയ്ത റൺ ഇല്ലാതാക്കാൻ കഴിഞ്ഞില്ല","inbox.archived.deleteRun":"ആർക്കൈവ് ചെയ്ത റൺ ഇല്ലാതാക്കുക","inbox.archived.deleteSuccess":"ആർക്കൈവ് ചെയ്ത ത്രെഡ് ഇല്ലാതാക്കി. <settingsLink> ആർക്കൈവ് ചെയ്ത ത്രെഡുകളിൽ</settingsLink> ഇത് കാണുക.","inbox.archived.inlineLabel.auto":"ഈ ത്രെഡ് സ്വയമേവ ആർക്കൈവ് ചെയ്തിരിക്കുന്നു. <learnMoreLink>കൂടുതൽ അറിയുക</learnMoreLink>","inbox.archived.inlineLabel.manual":"ഈ ത്രെഡ് ആർക്കൈവ് ചെയ്തിരിക്കുന്നു.","inbox.archived.noMessageFound":"സന്ദേശങ്ങളൊന്നും കണ്ടെത്തിയില്ല","inbox.automations.createError":"ഓട്ടോമേഷൻ സൃഷ്ടിക്കാനായില്ല","inbox.automations.deleteConfirm.cancel":"റദ്ദാക്കുക","inbox.automations.deleteConfirm.confirm":"ഓട്ടോമേഷൻ ഇല്ലാതാക്കണോ","inbox.automations.deleteConfirm.description":"ഇത് ഓട്ടോമേഷൻ സ്ഥിരമായി നീക്കം ചെയ്യുകയും, ഭാവിയിലുള്ള റണ്ണുകൾ നിർത്തലാക്കുകയും ചെയ്യും.","inbox.automations.deleteConfirm.title":"{name} ഇല്ലാതാക്കണോ?","inbox.automations.deleteError":"ഓട്ടോമേഷൻ ഇല്ലാതാക്കാനായില്ല","inbox.automations.editTooltip":"ഓട്ടോമേഷൻ എഡിറ്റ് ചെയ്യുക","inbox.automations.inProgress":"പുരോഗമിച്ചുകൊണ്ടിരിക്കുന്നു","inbox.automations.new":"പുതിയത്","inbox.automations.newToolbar":"പുതിയ ഓട്ടോമേഷൻ","inbox.automations.pauseTooltip":"ഓട്ടോമേഷൻ താൽക്കാലികമായി നിർത്തുക","inbox.automations.resumeTooltip":"ഓട്ടോമേഷൻ പുനരാരംഭിക്കുക","inbox.automations.startingNow":"ഇപ്പോൾ ആരംഭിക്കുന്നു","inbox.automations.startsIn":"{startTime}-ന് ആരംഭിക്കും","inbox.automations.status.active":"സജീവമാണ്","inbox.automations.status.paused":"താൽക്കാലികമായി നിർത്തി","inbox.automations.status.runs":"{count} റണ്ണുകൾ","inbox.automations.status.started":"{date} ആരംഭിച്ചു","inbox.automations.updateError":"ഓട്ടോമേഷൻ അപ്‌ഡേറ്റ് ചെയ്യാനായില്ല","inbox.automations.workspaceFallback":"-","inbox.filter.all":"എല്ലാം","inbox.filter.ariaLabel":"ഇൻബോക്സ് ഇനങ്ങൾ ഫിൽട്ടർ ചെയ്യുക","inbox.filter.unread":"വായിച്ചിട്ടില്ല","inbox.list.archived":"ആർക്കൈവ് ചെയ്തു","inbox.list.inProgress":"പുരോഗമിച്ചുകൊണ്ടിരിക്കുന്നു","inbox.list.recent":"പൂർത്തിയായി","inbox.list.upNext":"ഷെഡ്യൂൾ ചെയ്തു","inbox.mode.automations":"ഓട്ടോമേഷനുകൾ","inbox.mode.automations.beta":"ബീറ്റ","inbox.noDescription":"വിവരണം നൽകിയിട്ടില്ല","inbox.openThread":"ത്രെഡ് തുറക്കുക","inbox.rightPanel.emptySubtitle":"ഷെഡ്യൂൾ ചെയ്ത ജോലികൾ ക്രമീകരിക്കുന്നതിലൂടെ പ്രവൃത്തികൾ ഓട്ടോമേറ്റ് ചെയ്യുക","inbox.rightPanel.emptySubtitle.learnMore":"ഷെഡ്യൂൾ ചെയ്ത ത്രെഡുകൾ ക്രമീകരിക്കുന്നതിലൂടെ പ്രവൃത്തികൾ ഓട്ടോമേറ്റ് ചെയ്യുക <link>കൂടുതലറിയുക</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# സജീവ ഓട്ടോമേഷൻ} other {# സജീവ ഓട്ടോമേഷനുകൾ}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"വായിക്കാത്ത ഓട്ടോമേഷനുകൾ ഇല്ല","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# വായിക്കാത്ത ഓട്ടോമേഷൻ} other {# വായിക്കാത്ത ഓട്ടോമേഷനുകൾ}}","inbox.rightPanel.emptyTitle":"ഒരു ഇനവും തിരഞ്ഞെടുത്തിട്ടില്ല","inbox.rightPanel.noThread":"ഈ ഇനത്തിന് ത്രെഡ് ഒന്നുമില്ല","inbox.rightPanel.quickStart.header":"ഒരു ടെംപ്ലേറ്റ് ഉപയോഗിച്ച് ആരംഭിക്കുക","inbox.untitled":"തലക്കെട്ടില്ലാത്ത ഇൻബോക്സ് ഇനം","loadingPage.documentationLink":"ഡോക്യുമെൻ്റേഷൻ","loadingPage.errorDescription":"ഇനിപ്പറയുന്ന പിശകോടെ Codex ക്രാഷ് ആയി:","loadingPage.errorDescription.documentation":"Codex എക്സ്റ്റൻഷൻ പുനരാരംഭിക്കുന്നതിന് റീലോഡ് ക്ലിക്ക് ചെയ്യുക, അല്ലെങ്കിൽ കൂടുതൽ സഹായത്തിന് ഞങ്ങളുടെ {documentationLink} സന്ദർശിക്കുക.","loadingPage.errorSignal":"ശ്രമിച്ചുനോക്കാന്‍ ചില കാര്യങ്ങൾ:","loadingPage.errorTitle":"ഒരു പിശക് സംഭവിച്ചു","loadingPage.openConfigToml":"Config.toml തുറക്കുക","loadingPage.reload":"വീണ്ടും ലോഡ് ചെയ്യുക","localConversation.contextCompacted":"സന്ദർഭം സ്വയമേവ ചുരുക്കി","localConversation.contextCompacting":"സന്ദർഭം സ്വയമേവ ചുരുക്കുന്നു","localConversation.finalAssistantMessageDivider":"അവസാന സന്ദേശം","localConversation.forkedFromConversation":"{threadTitle}-ൽ നിന്ന് മാറ്റിയത്","localConversation.merge.autoResolve.failed":"ഓട്ടോ റിസോൾവ് അഭ്യർത്ഥിക്കുന്നതിൽ പരാജയപ്പെട്ടു: {error}","localConversation.merge.autoResolve.sent":"ഓട്ടോ റിസോൾവ് അഭ്യർത്ഥന അയച്ചു","localConversation.merge.autoResolveMerge.missingConversation":"സജീവമായ ഒരു സംഭാഷണമില്ലാതെ തനിയെ പരിഹരിക്കാൻ സാധ്യമല്ല.","localConversation.merge.autoResolveMerge.request":"കൂട്ടിച്ചേർത്ത വൈരുദ്ധ്യങ്ങൾ യാന്ത്രികമായി പരിഹരിക്കുക","localConversation.modelChanged":"മോഡൽ {fromModel}-ൽ നിന്ന് {toModel}-ലേക്ക് മാറ്റി.","localConversation.modelChanged.warning.line1":"സംഭാഷണത്തിനിടയിൽ മോഡലുകൾ മാറ്റുന്നത് പ്രകടനത്തെ ബാധിച്ചേക്കാം.","localConversation.modelChanged.warning.line2":"സന്ദർഭം സ്വയമേവ ചുരുക്കിയേക്കാം.","localConversation.modelRerouted":"നിങ്ങളുടെ അഭ്യർത്ഥന {toModel}-ലേക്ക് തിരിച്ചുവിട്ടു.","localConversation.modelRerouted.warning.line1":"ശ്രദ്ധിക്കുക, സൈബർ ദുരുപയോഗ സാധ്യത കുറയ്ക്കുന്നതിനായി നിങ്ങളുടെ അഭ്യർത്ഥന റീ-റൂട്ട് ചെയ്തു.","localConversation.modelRerouted.warning.line2":"ഇതൊരു തെറ്റാണെന്ന് തോന്നുന്നുണ്ടോ? അവലോകനത്തിനായി ഇവിടെ അപേക്ഷിക്കുക<link>chatgpt.com/cyber</link>അല്ലെങ്കിൽ /feedback വഴി റിപ്പോർട്ട് ചെയ്യുക","localConversation.moveThread.createBranch.label":"ബ്രാഞ്ച് സൃഷ്ടിക്കുക","localConversation.moveToLocal.disabled.branchCheckedOut":"ഈ ബ്രാഞ്ച് മറ്റൊരു വർക്ക് ട്രീയിൽ ഇതിനകം ചെക്ക് ഔട്ട് ചെയ്തിട്ടുണ്ട്","localConversation.moveToLocal.disabled.loading":"ലോഡിംഗ്...","localConversation.moveToLocal.disabled.missingSourceHead":"വർക്ക് ട്രീ HEAD കമ്മിറ്റ് കണ്ടെത്താൻ കഴിയുന്നില്ല","localConversation.moveToLocal.disabled.noWorkspace":"ഈ വർക്ക് ട്രീയ്ക്കായി ലോക്കൽ വർക്ക്‌സ്‌പേസ് കണ്ടെത്തിയില്ല","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"ഇപ്പോൾ മാറ്റാൻ കഴിയില്ല. ലോക്കൽ വർക്ക്‌സ്‌പേസിന്റെ അവസ്ഥ പരിശോധിച്ച് വീണ്ടും ശ്രമിക്കുക.","localConversation.moveToLocal.error.rollbackIssues":"റോൾബാക്ക് പ്രശ്നങ്ങൾ: {issues}","localConversation.moveToLocal.label":"ലോക്കലിലേക്ക് മാറ്റുക","localConversation.moveToLocal.loading.subtitle":"നിങ്ങളുടെ വർക്ക് ട്രീ മാറ്റങ്ങൾ ലോക്കലിലേക്ക് മാറ്റുന്നു…","localConversation.moveToLocal.loading.title":"ലോക്കലിലേക്ക് മാറ്റുന്നു","localConversation.moveToLocal.modal.continue":"തുടരുക","localConversation.moveToLocal.modal.destinationLabel":"ഇതിലേക്ക് നീക്കുക","localConversation.moveToLocal.modal.retry":"വീണ്ടും ശ്രമിക്കുക","localConversation.moveToLocal.modal.subtitle":"ഈ വർക്ക് ട്രീ ബ്രാഞ്ചും സേവ് ചെയ്യാത്ത മാറ്റങ്ങളും നിങ്ങളുടെ ലോക്കൽ ചെക്ക് ഔട്ടിലേക്ക് തിരികെ മാറ്റപ്പെടും.","localConversation.moveToLocal.modal.title":"ലോക്കലിലേക്ക് മാറ്റുക","localConversation.moveToWorktree.error.branchRequired":"വർക്ക് ട്രീ ബ്രാഞ്ച് പേര് നൽകേണ്ടത് നിർബന്ധമാണ്","localConversation.moveToWorktree.error.createWorktree":"വർക്ക് ട്രീ നിർമ്മിക്കുന്നതിൽ പരാജയപ്പെട്ടു: {message}","localConversation.moveToWorktree.error.move":"വർക്ക് ട്രീയിലേക്ക് മാറ്റുന്നതിൽ പരാജയപ്പെട്ടു: {message}","localConversation.moveToWorktree.error.prepareBranch":'"{branch}" എന്ന വർക്ക് ട്രീ ബ്രാഞ്ച് തയ്യാറാക്കുന്നതിൽ പരാജയപ്പെട്ടു: {message}',"localConversation.moveToWorktree.error.rollbackIssues":"റോൾബാക്ക് പ്രശ്നങ്ങൾ: {issues}","localConversation.moveToWorktree.error.unknown":"വർക്ക് ട്രീയിലേക്ക് മാറ്റുന്നതിൽ പരാജയപ്പെട്ടു. വീണ്ടും ശ്രമിക്കുക.","localConversation.moveToWorktree.label":"വർക്ക് ട്രീയിലേക്ക് മാറ്റുക","localConversation.moveToWorktree.loading.subtitle":"നിങ്ങളുടെ വർക്ക് ട്രീ സജ്ജീകരിക്കുകയും ലോക്കൽ മാറ്റങ്ങൾ അവിടേക്ക് നീക്കുകയും ചെയ്യുന്നു…","localConversation.moveToWorktree.loading.title":"വർക്ക് ട്രീയിലേക്ക് മാറ്റുന്നു","localConversation.moveToWorktree.modal.back":"തിരികെ പോകുക","localConversation.moveToWorktree.modal.branchAlreadyExists":"ബ്രാഞ്ച് നിലവിലുണ്ട്","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ബ്രാഞ്ച് നിലവിലുണ്ട്.","localConversation.moveToWorktree.modal.branchesError":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല","localConversation.moveToWorktree.modal.branchesLoading":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യുന്നു…","localConversation.moveToWorktree.modal.branchesRetry":"വീണ്ടും ശ്രമിക്കുക","localConversation.moveToWorktree.modal.continue":"തുടരുക","localConversation.moveToWorktree.modal.defaultBranchError":"വർക്ക് ട്രീ ബ്രാഞ്ച് ഡിഫോൾട്ട് ബ്രാഞ്ചിൽ നിന്ന് വ്യത്യസ്തമായിരിക്കണം.","localConversation.moveToWorktree.modal.localBranchLabel":"ലോക്കൽ ബ്രാഞ്ച്","localConversation.moveToWorktree.modal.localBranchPlaceholder":"ലോക്കൽ ചെക്ക് ഔട്ട് ബ്രാഞ്ച് തിരഞ്ഞെടുക്കുക","localConversation.moveToWorktree.modal.noTargetBranch":"മറ്റ് ലോക്കൽ ബ്രാഞ്ചുകൾ ലഭ്യമല്ല","localConversation.moveToWorktree.modal.retry":"വീണ്ടും ശ്രമിക്കുക","localConversation.moveToWorktree.modal.subtitle":"ഈ ബ്രാഞ്ചും സേവ് ചെയ്യാത്ത എല്ലാ മാറ്റങ്ങളും ഒരു വർക്ക് ട്രീയിലേക്ക് മാറ്റപ്പെടും. ഇതിന് പകരം നിങ്ങൾ ലോക്കലിൽ മറ്റൊരു ബ്രാഞ്ച് ചെക്ക് ഔട്ട് ചെയ്യണം.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"ഈ ത്രെഡിനായി Codex ഒരു പുതിയ വർക്ക് ട്രീ നിർമ്മിക്കും.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"ഒരു വർക്ക് ട്രീ ബ്രാഞ്ച് പേര് തിരഞ്ഞെടുക്കുക. ഡിഫോൾട്ട് ബ്രാഞ്ചിന് പകരം Codex ഇത് ഉപയോഗിക്കും.","localConversation.moveToWorktree.modal.subtitle.loading":"നിലവിലുള്ള വർക്ക് ട്രീക്കായി തിരയുന്നു…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"ഈ ബ്രാഞ്ച് ഒരു വർക്ക് ട്രീയിലേക്ക് മാറ്റപ്പെടും. നിങ്ങളുടെ നിലവിലെ ലോക്കൽ ബ്രാഞ്ച് ചെക്ക് ഔട്ട് ചെയ്ത നിലയിൽ തന്നെ തുടരും.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"ഈ ത്രെഡിനായി Codex നിലവിലുള്ള വർക്ക് ട്രീ വീണ്ടും ഉപയോഗിക്കും.","localConversation.moveToWorktree.modal.title":"വർക്ക് ട്രീയിലേക്ക് മാറ്റുക","localConversation.moveToWorktree.modal.trailingSlashError":"ബ്രാഞ്ചിന്‍റെ പേര്  “/” ൽ അവസാനിക്കരുത്.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"വർക്ക് ട്രീ ബ്രാഞ്ചിന്‍റെ പേര്","localConversation.moveToWorktree.modal.worktreeBranchLabel":"വർക്ക് ട്രീ ബ്രാഞ്ച്","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"പുതിയ ബ്രാഞ്ച്","localConversation.personalityChanged":"{personality} വ്യക്തിത്വത്തിലേക്ക് മാറി","localConversation.planSummary.collapse":"പ്ലാൻ സമ്മറി ചുരുക്കുക","localConversation.planSummary.collapseTooltip":"ചുരുക്കുക","localConversation.planSummary.download":"പ്ലാൻ ഡൗൺലോഡ് ചെയ്യുക","localConversation.planSummary.expand":"പ്ലാൻ സമ്മറി വികസിപ്പിക്കുക","localConversation.planSummary.expandTooltip":"വിപുലീകരിക്കുക","localConversation.planSummary.openInNewWindow":"തുറക്കുക","localConversation.planSummary.openInNewWindow.tooltip":"പുതിയ വിൻഡോയിൽ തുറക്കുക","localConversation.planSummary.title":"പ്ലാൻ","localConversation.planSummary.titleWriting":"റൈറ്റിംഗ് പ്ലാൻ","localConversation.planSummary.viewPlan":"പ്ലാൻ വിപുലീകരിക്കുക","localConversation.previousMessagesSummary":"{count, plural, one {#മുമ്പത്തെ സന്ദേശം} other {# മുമ്പത്തെ സന്ദേശങ്ങൾ}}","localConversation.remoteTaskCreated":"Codex ക്ലൗഡിൽ {taskLink} സൃഷ്ടിച്ചു","localConversation.remoteTaskCreated.task":"ടാസ്ക്","localConversation.scrollToBottomButton":"താഴേക്ക് സ്ക്രോൾ ചെയ്യുക","localConversation.sync.buttonLabel":"ലോക്കലിലേക്ക് കൈമാറുക","localConversation.sync.buttonLabel.tooltip":"ഈ വർക്ക് ട്രീയും നിങ്ങളുടെ ലോക്കൽ ചെക്ക് ഔട്ടും തമ്മിലുള്ള മാറ്റങ്ങൾ കൈമാറുക.","localConversation.sync.modal.loading.title":"മാറ്റങ്ങൾ കൈമാറുന്നു…","localConversation.sync.modal.noChanges":"മാറ്റങ്ങൾ ഇല്ല","localConversation.syncSetup.branchAriaLabel":"ബ്രാഞ്ചിന്‍റെ പേര്","localConversation.syncSetup.branchName":"ബ്രാഞ്ചിന്‍റെ പേര്","localConversation.syncSetup.branchPlaceholder.existing":"നിലവിലുള്ള ബ്രാഞ്ച് തിരഞ്ഞെടുക്കുക","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യുന്നു…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ഇതിനകം ചെക്ക് ഔട്ട് ചെയ്തിട്ടുണ്ട്","localConversation.syncSetup.checkoutClean":"നിലവിൽ {branchName}-ൽ ആണ്","localConversation.syncSetup.checkoutDirty":"നിലവിൽ {branchName}-ൽ ആണ്; സേവ് ചെയ്യാത്ത മാറ്റങ്ങളുണ്ട്","localConversation.syncSetup.checkoutError":"ബ്രാഞ്ച് ചെക്ക് ഔട്ട് പരാജയപ്പെട്ടു: {message}","localConversation.syncSetup.checkoutLabel":"ഇപ്പോൾ ലോക്കലിൽ ചെക്ക് ഔട്ട് ചെയ്യുക","localConversation.syncSetup.checkoutOnLocal":"ലോക്കലിലേക്ക് കൈമാറുക","localConversation.syncSetup.checkoutPending":"ലോക്കൽ സ്റ്റാറ്റസ് പരിശോധിക്കുന്നു…","localConversation.syncSetup.checkoutUnavailable":"ലോക്കൽ വർക്ക്‌സ്‌പേസ് ലഭ്യമായിട്ടില്ല","localConversation.syncSetup.checkoutUnknown":"ലോക്കൽ ബ്രാഞ്ച് ലഭ്യമല്ല","localConversation.syncSetup.continue":"തുടരുക","localConversation.syncSetup.createBranchError":"ഹാൻഡ്-ഓഫ് ബ്രാഞ്ച് സജ്ജീകരിക്കാനായില്ല: {message}","localConversation.syncSetup.error":"എന്തോ പിശക് സംഭവിച്ചു: {message}","localConversation.syncSetup.error.workingTreeMissing":"വർക്ക് ട്രീയുടെ സ്നാപ്പ്ഷോട്ട് എടുക്കാൻ കഴിഞ്ഞില്ല. കൈമാറ്ററ്റത്തിനായി വീണ്ടും ശ്രമിക്കുക.","localConversation.syncSetup.mode.ariaLabel":"ബ്രാഞ്ച് മോഡ് തിരഞ്ഞെടുക്കുക","localConversation.syncSetup.mode.existing":"നിലവിലുള്ള ബ്രാഞ്ച്","localConversation.syncSetup.mode.new":"പുതിയ ബ്രാഞ്ച്","localConversation.syncSetup.noBranches":"ബ്രാഞ്ചുകളൊന്നും കണ്ടെത്തിയില്ല","localConversation.syncSetup.overwriteError":"ബ്രാഞ്ച് നിർമ്മിച്ചെങ്കിലും പൂർണ്ണമായി കൈമാറാൻ കഴിഞ്ഞിട്ടില്ല. ലോക്കലിൽ ചെക്ക് ഔട്ട് ചെയ്യുന്നതിന് മുൻപായി നേരിട്ട് കൈമാറുക.","localConversation.syncSetup.setPrefix":"പ്രിഫിക്സ് സജ്ജമാക്കുക","localConversation.syncSetup.subtitle":"വർക്ക് ട്രീയിലെ മാറ്റങ്ങൾ ലോക്കലായി പരിശോധിച്ച് തിരുത്തുക. <a>കൂടുതലറിയുക</a>","localConversation.syncSetup.success.checkedOut":"ബ്രാഞ്ച് നിർമ്മിക്കുകയും ലോക്കലിൽ ചെക്ക് ഔട്ട് ചെയ്യുകയും ചെയ്തിട്ടുണ്ട്","localConversation.syncSetup.success.notCheckedOut":"ബ്രാഞ്ച് നിർമ്മിച്ചു","localConversation.syncSetup.title":"ഒരു ലോക്കൽ ബ്രാഞ്ചിലേക്ക് കൈമാറുക","localConversation.syncWorktreeError.branchAriaLabel":"ബ്രാഞ്ചിന്‍റെ പേര്","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"കൈമാറുന്നതിനായി ഒരു ബ്രാഞ്ച് തിരഞ്ഞെടുക്കുക, ശേഷം മാറ്റങ്ങൾ വീണ്ടും ലോഡ് ചെയ്യാൻ ശ്രമിക്കുക.","localConversation.syncWorktreeError.branchSetup.title":"ബ്രാഞ്ച് അപ്‌ഡേറ്റ് ചെയ്യുക","localConversation.syncWorktreeError.branchUpdate.cta":"അപ്‌ഡേറ്റ് ചെയ്ത് വീണ്ടും ശ്രമിക്കുക","localConversation.syncWorktreeError.branchUpdate.error":"ബ്രാഞ്ച് അപ്‌ഡേറ്റ് ചെയ്യാനായില്ല: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"എന്തോ പിശക് സംഭവിച്ചു: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ഈ ബ്രാഞ്ച് ഒരു വർക്ക് ട്രീയിലും ചെക്ക് ഔട്ട് ചെയ്തിട്ടില്ല.","localConversation.syncWorktreeV2.applyUncommitted":"പ്രയോഗിക്കുക","localConversation.syncWorktreeV2.applyUncommitted.disabled":"സേവ് ചെയ്യാത്ത മാറ്റങ്ങൾ നടപ്പിലാക്കുന്നതിനായി നിങ്ങൾ ബ്രാഞ്ച് ലോക്കലിൽ ചെക്ക് ഔട്ട് ചെയ്യേണ്ടതുണ്ട്","localConversation.syncWorktreeV2.branches.empty":"ബ്രാഞ്ചുകളൊന്നും കണ്ടെത്തിയില്ല","localConversation.syncWorktreeV2.branches.loading":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യുന്നു…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"ഹാൻഡ്-ഓഫ് ബ്രാഞ്ച് മാറ്റുക","localConversation.syncWorktreeV2.changeBranch.error":"ഹാൻഡ്-ഓഫ് ബ്രാഞ്ച് മാറ്റുന്നതിൽ പരാജയപ്പെട്ടു: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"നടപ്പിലാക്കാനായില്ല","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"വർക്ക് ട്രീ ഓവർറൈറ്റ് ചെയ്യാനായില്ല","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ലോക്കൽ ഓവർറൈറ്റ് പരാജയപ്പെട്ടു","localConversation.syncWorktreeV2.commandError.back":"തിരികെ പോകുക","localConversation.syncWorktreeV2.commandError.body":"കൈമാറുന്നതിനിടെ ഒരു git കമാൻഡ് പരാജയപ്പെട്ടു. ഔട്ട്പുട്ട് പരിശോധിച്ച ശേഷം വീണ്ടും ശ്രമിക്കുക.","localConversation.syncWorktreeV2.commandError.retry":"വീണ്ടും ശ്രമിക്കുക","localConversation.syncWorktreeV2.description":"ലോക്കലും ഈ വർക്ക് ട്രീയും തമ്മിൽ മാറ്റങ്ങൾ കൈമാറുക <a>കൂടുതലറിയുക</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"കൈമാറേണ്ട ദിശ തിരഞ്ഞെടുക്കുക","localConversation.syncWorktreeV2.error.generic":"കൈമാറുന്നതിനിടെ എന്തോ പിശക് സംഭവിച്ചു. വീണ്ടും ശ്രമിക്കുക.","localConversation.syncWorktreeV2.localBranchLabel":"ലോക്കൽ","localConversation.syncWorktreeV2.noChanges":"മാറ്റങ്ങൾ കണക്കാക്കുന്നു","localConversation.syncWorktreeV2.noChanges.summary":"മാറ്റങ്ങൾ ഇല്ല","localConversation.syncWorktreeV2.overwrite.local":"ലോക്കൽ ഓവർറൈറ്റ് ചെയ്യുക","localConversation.syncWorktreeV2.overwrite.worktree":"വർക്ക് ട്രീ ഓവർറൈറ്റ് ചെയ്യുക","localConversation.syncWorktreeV2.partial.action.applyFailed":"മാറ്റങ്ങൾ പ്രയോഗിക്കാൻ കഴിഞ്ഞില്ല","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ലോക്കൽ മാറ്റങ്ങൾ ഓവർറൈറ്റ് ചെയ്യാൻ കഴിഞ്ഞില്ല","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"വർക്ക് ട്രീയിലെ മാറ്റങ്ങൾ ഓവർറൈറ്റ് ചെയ്യാൻ കഴിഞ്ഞില്ല","localConversation.syncWorktreeV2.partial.appliedLabel":"പ്രയോഗിച്ചു","localConversation.syncWorktreeV2.partial.back":"തിരികെ പോകുക","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"തടസ്സങ്ങൾ പരിഹരിച്ച ശേഷം വീണ്ടും ശ്രമിക്കുക.","localConversation.syncWorktreeV2.partial.conflictsLabel":"വൈരുദ്ധ്യങ്ങൾ","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}","localConversation.syncWorktreeV2.partial.retry":"വീണ്ടും ശ്രമിക്കുക","localConversation.syncWorktreeV2.partial.skippedLabel":"ഒഴിവാക്കി","localConversation.syncWorktreeV2.stateFailed.generic":"കൈമാറുന്നതിനായി വർക്ക് ട്രീയിലെ മാറ്റങ്ങൾ ശേഖരിക്കുന്നതിനിടെ എന്തോ പിശക് സംഭവിച്ചു. വീണ്ടും ശ്രമിക്കുക.","localConversation.syncWorktreeV2.stateFailed.title":"വർക്ക് ട്രീയിലെ മാറ്റങ്ങൾ ലോഡ് ചെയ്യാനായില്ല","localConversation.syncWorktreeV2.statusError.diffUnknown":"വർക്ക് ട്രീയിലെ മാറ്റങ്ങൾ ലോഡ് ചെയ്യാനായില്ല","localConversation.syncWorktreeV2.statusError.retry":"വീണ്ടും ശ്രമിക്കുക","localConversation.syncWorktreeV2.statusError.title":"ലോക്കൽ ബ്രാഞ്ചിലെ മാറ്റങ്ങൾ ലോഡ് ചെയ്യാൻ കഴിഞ്ഞില്ല","localConversation.syncWorktreeV2.statusError.unknown":"ബ്രാഞ്ച് സ്റ്റാറ്റസ് ഇപ്പോൾ ലഭ്യമല്ല. വീണ്ടും ശ്രമിക്കുക.","localConversation.syncWorktreeV2.success.apply":"മാറ്റങ്ങൾ വിജയകരമായി നടപ്പിലാക്കി","localConversation.syncWorktreeV2.success.overwrite":"കൈമാറ്റം വിജയകരമായി പൂർത്തിയായി","localConversation.syncWorktreeV2.title":"മാറ്റങ്ങൾ കൈമാറുക","localConversation.syncWorktreeV2.worktreeLabel":"വർക്ക്ട്രീ","localConversation.userInputRequest.inProgress":"{count, plural, one {ചോദ്യം} other {ചോദ്യങ്ങൾ}} ചോദിക്കുന്നു","localConversation.userInputRequest.noAnswer":"മറുപടി നൽകിയിട്ടില്ല","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"ചോദിച്ചു","localConversation.userInputRequest.summary.count":"{count, plural, one {# ചോദ്യം} other {# ചോദ്യങ്ങൾ}}","localConversation.workedFor":"{time}-നായി പ്രവർത്തിച്ചു","localConversation.worktreeBranchSetup.action.create":"സൃഷ്ടിക്കുക","localConversation.worktreeBranchSetup.branchAriaLabel":"ബ്രാഞ്ചിന്‍റെ പേര്","localConversation.worktreeBranchSetup.branchPlaceholder.new":"ഒരു പുതിയ ബ്രാഞ്ച് സൃഷ്ടിക്കുക","localConversation.worktreeBranchSetup.checkoutDisabled":"ഈ ബ്രാഞ്ച് ഇതിനകം {location}-ൽ ചെക്ക് ഔട്ട് ചെയ്തിട്ടുണ്ട്","localConversation.worktreeBranchSetup.checkoutError":"ബ്രാഞ്ച് ചെക്ക് ഔട്ട് പരാജയപ്പെട്ടു: {message}","localConversation.worktreeBranchSetup.createBranchError":"ബ്രാഞ്ച് സജ്ജീകരിക്കാനായില്ല: {message}","localConversation.worktreeBranchSetup.error":"എന്തോ പിശക് സംഭവിച്ചു: {message}","localConversation.worktreeBranchSetup.subtitle":"മാറ്റങ്ങൾ സേവ് ചെയ്യാൻ ഒരു ബ്രാഞ്ച് നിർമ്മിക്കുക, പുഷ് ചെയ്യുക, തുടർന്ന് ഈ വർക്ക് ട്രീയിൽ നിന്ന് ഒരു PR തയ്യാറാക്കുക. <a>കൂടുതലറിയുക</a>","localConversation.worktreeBranchSetup.title":"ഇവിടെ വർക്ക് ചെയ്യുക","localConversationPage.addWorktreeToSidebar.tooltip":"ഈ വർക്ക് ട്രീയിൽ നിന്ന് പുതിയ ത്രെഡുകൾ ആരംഭിക്കുന്നതിനായി ഒരു പ്രോജക്റ്റായി സേവ് ചെയ്യുക","localConversationPage.addWorktreeToSidebarError":"പ്രോജക്റ്റ് ചേർക്കാനായില്ല","localConversationPage.commitAndCreatePrModal.errorTitle":"കമ്മിറ്റും PR സൃഷ്ടിക്കുന്നതും പരാജയപ്പെട്ടു","localConversationPage.commitAndCreatePrModal.successTitle":"കമ്മിറ്റ് ചെയ്യുകയും PR സൃഷ്ടിക്കുകയും ചെയ്തു","localConversationPage.commitAndPushModal.errorTitle":"കമ്മിറ്റും കൂടാതെ പുഷ് പരാജയപ്പെട്ടു","localConversationPage.commitAndPushModal.successTitle":"കമ്മിറ്റ് ചെയ്യുകയും മാറ്റങ്ങൾ പുഷ് ചെയ്യുകയും ചെയ്തു","localConversationPage.commitCreatePr.open":"പുൾ അഭ്യർത്ഥന തുറക്കുക","localConversationPage.commitCreatePr.successTitle":"നിങ്ങളുടെ ഏറ്റവും പുതിയ മാറ്റങ്ങളോടെ PR സൃഷ്ടിച്ചു","localConversationPage.createBranchButtonLabel":"ഇവിടെ ബ്രാഞ്ച് ചെയ്യുക","localConversationPage.createPrModal.baseBranch":"ബെയ്സ്","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR സൃഷ്ടിക്കുക","localConversationPage.createPrModal.createDescription":"നിങ്ങളുടെ ഏറ്റവും പുതിയ മാറ്റങ്ങൾക്കായി ഒരു പുൾ അഭ്യർത്ഥന തുറക്കുക.","localConversationPage.createPrModal.errorTitle":"പുൾ അഭ്യർത്ഥന പരാജയപ്പെട്ടു","localConversationPage.createPrModal.headBranch":"ഹെഡ്","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR തുറക്കുക","localConversationPage.createPrModal.successTitle":"പുൾ അഭ്യർത്ഥന സൃഷ്ടിച്ചു","localConversationPage.createPrModal.title":"പുൾ അഭ്യർത്ഥന സൃഷ്ടിക്കുക","localConversationPage.createPrModal.viewDescription":"ഈ ബ്രാഞ്ചിൽ ഇതിനകം ഒരു പുൾ അഭ്യർത്ഥന നിലവിലുണ്ട്.","localConversationPage.createPrModal.viewTitle":"പുൾ അഭ്യർത്ഥന തയ്യാറാണ്","localConversationPage.createPullRequestAuthGh":"GitHub CLI പ്രാമാണീകരിക്കുക: `gh auth login` പ്രവർത്തിപ്പിക്കുക","localConversationPage.createPullRequestBranchMissing":"ബ്രാഞ്ച് വിവരങ്ങൾ ലഭ്യമല്ല","localConversationPage.createPullRequestButtonLabel":"PR സൃഷ്ടിക്കുക","localConversationPage.createPullRequestButtonLabel.loading":"PR സൃഷ്ടിക്കുന്നു…","localConversationPage.createPullRequestDefaultBranchMissing":"ഡിഫോൾട്ട് ബ്രാഞ്ച് വിവരങ്ങൾ ലഭ്യമല്ല","localConversationPage.createPullRequestError":"പുൾ അഭ്യർത്ഥന സൃഷ്ടിക്കാനായില്ല","localConversationPage.createPullRequestExistingPullRequest":"ഈ ബ്രാഞ്ചിൽ ഇതിനകം ഒരു പുൾ അഭ്യർത്ഥന നിലവിലുണ്ട്","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI സ്റ്റാറ്റസ് ലോഡ് ചെയ്യുന്നു…","localConversationPage.createPullRequestInstallGh":"PR-കൾ സൃഷ്ടിക്കാൻ GitHub CLI (gh) ഇൻസ്റ്റാൾ ചെയ്യുക","localConversationPage.createPullRequestNoRepo":"git റിപ്പോസിറ്ററി കണ്ടെത്തിയില്ല","localConversationPage.createPullRequestPushStatusMissing":"പുഷ് സ്റ്റാറ്റസ് ലോഡ് ചെയ്യുന്നു…","localConversationPage.createPullRequestSetUpstream":"ഒരു PR സൃഷ്ടിക്കുന്നതിന് മുമ്പ് ഈ ബ്രാഞ്ച് പുഷ് ചെയ്യുക","localConversationPage.createPullRequestSuccessToast":"പുൾ അഭ്യർത്ഥന സൃഷ്ടിച്ചു","localConversationPage.createPullRequestSwitchBranch":"ഒരു PR സൃഷ്ടിക്കുന്നതിന് മുമ്പ് ഒരു ഫീച്ചർ ബ്രാഞ്ച് പരിശോധിക്കുക","localConversationPage.error.render":"ലോക്കൽ സംഭാഷണം റെൻഡർ ചെയ്യുന്നതിൽ പിശക്","localConversationPage.error.toast":"സംഭാഷണം കണ്ടെത്താനായില്ല","localConversationPage.forcePushError":"നിർബന്ധിച്ച് പുഷ് ചെയ്യാനായില്ല","localConversationPage.generatePullRequestMessageError":"പുൾ റിക്വസ്റ്റ് ടൈറ്റിലും ബോഡിയും നിർമ്മിക്കാൻ കഴിഞ്ഞില്ല","localConversationPage.generatePullRequestMessageFailed":"പുൾ റിക്വസ്റ്റ് ടൈറ്റിലും ബോഡിയും നിർമ്മിക്കാൻ കഴിഞ്ഞില്ല.","localConversationPage.gitActionResult.branch":"ബ്രാഞ്ച്","localConversationPage.gitActionResult.cancel":"റദ്ദാക്കുക","localConversationPage.gitActionResult.close":"അടയ്ക്കുക","localConversationPage.gitActionResult.tryAgain":"വീണ്ടും ശ്രമിക്കുക","localConversationPage.gitActions":"Git നടപടികൾ","localConversationPage.newChat":"പുതിയ ചാറ്റ്","localConversationPage.openInTarget":"ഇതിൽ തുറക്കുക","localConversationPage.openPrimaryTarget":"തുറക്കുക","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# ടാസ്ക് പൂർത്തിയായി} other {# ടാസ്കുകൾ പൂർത്തിയായി}}-ൽ {completedItems}","localConversationPage.pushAuthError":"പുഷ് പരാജയപ്പെട്ടു: അനുമതി ആവശ്യമാണ്","localConversationPage.pushBranchMissing":"ബ്രാഞ്ച് വിവരങ്ങൾ ലഭ്യമല്ല","localConversationPage.pushButtonLabel":"പുഷ്","localConversationPage.pushButtonLabel.loading":"പുഷ് ചെയ്യുന്നു…","localConversationPage.pushError":"മാറ്റങ്ങൾ വരുത്തുന്നതിൽ പരാജയപ്പെട്ടു","localConversationPage.pushModal.branchLabel":"ബ്രാഞ്ച്","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"റദ്ദാക്കുക","localConversationPage.pushModal.confirm":"പുഷ്","localConversationPage.pushModal.description":"നിങ്ങളുടെ ഏറ്റവും പുതിയ കമ്മിറ്റുകൾ റിമോട്ട് റിപ്പോസിറ്ററിയിലേക്ക് പുഷ് ചെയ്യുക.","localConversationPage.pushModal.errorTitle":"പുഷ് പരാജയപ്പെട്ടു","localConversationPage.pushModal.forcePush":"നിർബന്ധിച്ചുള്ള പുഷ്","localConversationPage.pushModal.successTitle":"പുഷ് പൂർത്തിയായി","localConversationPage.pushModal.title":"മാറ്റങ്ങൾ പുഷ് ചെയ്യുക","localConversationPage.pushModal.tryAgain":"വീണ്ടും ശ്രമിക്കുക","localConversationPage.pushNoUpstream":"ഈ ബ്രാഞ്ച് പുഷ് ചെയ്യുന്നതിന് മുമ്പ് ഒരു അപ്‌സ്ട്രീം സജ്ജമാക്കുക","localConversationPage.pushNoUpstreamError":"പുഷ് പരാജയപ്പെട്ടു: അപ്‌സ്ട്രീം കോൺഫിഗർ ചെയ്‌തിട്ടില്ല","localConversationPage.pushNothingToPush":"പുഷ് ചെയ്യുന്നതിന് പുതിയ കമ്മിറ്റുകളൊന്നുമില്ല","localConversationPage.pushRemoteChangedError":"പുഷ് പരാജയപ്പെട്ടു: റിമോട്ടിന് പുതിയ കമ്മിറ്റുകൾ ഉണ്ട്","localConversationPage.pushRemoteRejectedError":"റിമോട്ട് പുഷ് നിരസിച്ചു","localConversationPage.pushStatusMissing":"പുഷ് സ്റ്റാറ്റസ് ലോഡ് ചെയ്യുന്നു…","localConversationPage.pushSuccessToast":"മാറ്റങ്ങൾ പുഷ് ചെയ്തു","localConversationPage.viewPullRequestButtonLabel":"PR കാണുക","localConversationPage.viewPullRequestButtonLabel.loading":"പുൾ റിക്വസ്റ്റ് ലോഡ് ചെയ്യുന്നു…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# ലിസ്റ്റ്} other {# ലിസ്റ്റുകൾ}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# തിരയൽ} other {# തിരയലുകൾ}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"കണ്ടെത്തുന്നു","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"കണ്ടെത്തി","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} കണ്ടെത്തി","localConversationTurnStory.showContent":"ഉള്ളടക്കം കാണിക്കുക","localConversationTurnStory.streamContent":"ഉള്ളടക്കം സ്ട്രീം ചെയ്യുക","localConversationTurnStory.toggleReasoning":"റീസണിംഗ് കാണിക്കുക","localTaskRow.archiveError":"സംഭാഷണം ആർകൈവ് ചെയ്യാനായില്ല","localTaskRow.resumeError":"ടാസ്‌ക് പുനരാരംഭിക്കാനായില്ല","mermaidDiagram.ariaLabel":"മെർമെയ്ഡ്‌ ഡയഗ്രം","mermaidDiagram.copySource":"മെർമെയ്ഡ് കോപ്പി ചെയ്യുക","mermaidDiagram.originalCode":"മെർമെയ്ഡ്‌ സോഴ്സ് കോഡ്","notifications.permissions.description":"നോട്ടിഫിക്കേഷൻ പെർമിഷനുകൾ ആവശ്യമായി വരുമ്പോൾ മുന്നറിയിപ്പുകൾ കാണിക്കുക","notifications.permissions.label":"അനുമതി അറിയിപ്പുകൾ പ്രവർത്തനക്ഷമമാക്കുക","notifications.turnMode.always":"എല്ലായ്‌പ്പോഴും","notifications.turnMode.description":"ജോലി പൂർത്തിയാകുമ്പോൾ Codex നിങ്ങളെ അറിയിക്കേണ്ട സമയം സജ്ജമാക്കുക","notifications.turnMode.label":"ടേൺ പൂർത്തിയായതിൻ്റെ അറിയിപ്പുകൾ","notifications.turnMode.off":"ഒരിക്കലുമില്ല","notifications.turnMode.unfocused":"ശ്രദ്ധ കേന്ദ്രീകരിക്കാത്തപ്പോൾ മാത്രം","patchApprovalRequest.approve":"അംഗീകരിക്കുക","patchApprovalRequest.menu.allowAlways":"അതെ, ഈ സെഷനിൽ ഇനി ചോദിക്കേണ്ടതില്ല","patchApprovalRequest.menu.allowForSession":"അതെ, ഈ സെഷനിൽ ഇനി ചോദിക്കേണ്ടതില്ല","patchApprovalRequest.menu.allowOnce":"അതെ","patchApprovalRequest.prompt":"നിങ്ങൾക്ക് ഈ മാറ്റങ്ങൾ വരുത്തണമെന്നുണ്ടോ?","patchApprovalRequest.reject":"വേണ്ട","patchApprovalRequest.waitingForApproval":"ഫയലുകൾ എഡിറ്റ് ചെയ്യുന്നതിനുള്ള അനുമതിക്കായി കാത്തിരിക്കുന്നു","pendingRequest.approvalExec.collapse":"ചുരുക്കുക","pendingRequest.approvalExec.expand":"വിപുലീകരിക്കുക","pendingRequestStory.toastAnswer":"ഉത്തരം: {answer}","pendingRequestStory.toastApprovalTitle":"അനുമതി നൽകിയുള്ള മറുപടി","pendingRequestStory.toastFollowupPrompt":"പ്രോംപ്റ്റ്: {prompt}","pendingRequestStory.toastFollowupTitle":"തുടർസന്ദേശം അയച്ചു","pendingRequestStory.toastNoAnswers":"ഉത്തരങ്ങളൊന്നും നൽകിയിട്ടില്ല","pendingRequestStory.toastQuestion":"ചോദ്യം: {question}","pendingRequestStory.toastUnknownDecision":"അറിയില്ല","pendingRequestStory.toastUserInputTitle":"സമർപ്പിച്ച ഉത്തരങ്ങൾ","quickAction.request.codeReview.branches.new":"{to}-ന് അനുബന്ധമായി {from}-ലെ മാറ്റങ്ങൾ അവലോകനം ചെയ്യുക","quickAction.request.codeReview.uncommitted.new":"എന്റെ പൂർത്തിയാകാത്ത മാറ്റങ്ങൾ അവലോകനം ചെയ്യുക","reasoningItem.thinking":"ചിന്തിക്കുന്നു","reasoningItem.thought":"ചിന്തിച്ചു","reasoningItem.thoughtWithElapsed":"{elapsed}-നെ കുറിച്ച് ചിന്തിക്കുന്നു","recentConversations.title":"സമീപകാല സംഭാഷണങ്ങൾ","recentTasks.worktreeInitFailedTitle":"വർക്ക്ട്രീ ആരംഭിക്കാനായില്ല","recentTasks.worktreeSettingUpTitle":"വർക്ക്ട്രീ സജ്ജീകരിക്കുന്നു","requestInputPanel.continue":"തുടരുക","requestInputPanel.dismiss":"ഒഴിവാക്കുക","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ഇവിടെ ടൈപ്പ് ചെയ്യുക","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"വേണ്ട, മറ്റെന്താണ് ചെയ്യേണ്ടതെന്ന് Codex-നോട് പറയുക","requestInputPanel.selectedBadge":"തിരഞ്ഞെടുത്തത്","requestInputPanel.skip":"ഒഴിവാക്കുക","requestInputPanel.submit":"സമർപ്പിക്കുക","review.commit.ariaLabel.includeUnstaged":"സ്റ്റേജ് ചെയ്യാത്തവ ഉൾപ്പെടുത്തുക","review.commit.buttonLabel":"കമ്മിറ്റ്","review.commit.disabled.committing":"കമ്മിറ്റ് ചെയ്യുന്നു…","review.commit.disabled.loadingDiff":"വ്യത്യാസം ലോഡ് ചെയ്യുന്നു…","review.commit.disabled.missingContext":"ഒരു കമ്മിറ്റ് മെസേജ് നിർമ്മിക്കുന്നതിനായി കുറച്ച് വിവരങ്ങൾ ചേർക്കുക","review.commit.disabled.noChanges":"കമ്മിറ്റ് ചെയ്യാൻ മാറ്റങ്ങൾ ഇല്ല","review.commit.disabled.noSelection":"കമ്മിറ്റ് ചെയ്യേണ്ട മാറ്റങ്ങൾ തിരഞ്ഞെടുക്കുക","review.commit.disabled.unavailable":"കമ്മിറ്റ് ഇപ്പോൾ ലഭ്യമല്ല","review.commit.error":"മാറ്റങ്ങൾ വരുത്താനായില്ല","review.commit.form.changesToBeCommitted":"മാറ്റങ്ങൾ","review.commit.form.commitTo":"ബ്രാഞ്ച്","review.commit.form.commitTo.none":"-","review.commit.form.continue":"തുടരുക","review.commit.form.title":"നിങ്ങളുടെ മാറ്റങ്ങൾ സമർപ്പിക്കുക","review.commit.generate.emptyResponse":"ഒരു കമ്മിറ്റ് മെസേജ് നിർമ്മിക്കാൻ കഴിഞ്ഞില്ല.","review.commit.generate.failed":"കമ്മിറ്റ് മെസേജ് നിർമ്മിക്കാനായില്ല: {error}","review.commit.generate.missingPrompt":"കമ്മിറ്റ് മെസേജ് നിർമ്മിക്കുന്നതിനായി കൂടുതൽ വിവരങ്ങൾ ചേർക്കുക.","review.commit.includeUnstaged":"സ്റ്റേജ് ചെയ്യാത്തവ ഉൾപ്പെടുത്തുക","review.commit.loading.description":"കാത്തിരിക്കൂ, ഇതിന് കുറച്ച് നിമിഷങ്ങൾ എടുത്തേക്കാം…","review.commit.loading.step.commit.done":"കമ്മിറ്റ് ചെയ്ത മാറ്റങ്ങൾ","review.commit.loading.step.commit.pending":"മാറ്റങ്ങൾ വരുത്തുന്നു","review.commit.loading.step.createPr.done":"ഒരു പുൾ അഭ്യർത്ഥന സൃഷ്ടിച്ചു","review.commit.loading.step.createPr.pending":"ഒരു പുൾ അഭ്യർത്ഥന സൃഷ്ടിക്കുന്നു","review.commit.loading.step.push.done":"ബ്രാഞ്ച് {branch}-ലേക്ക് പുഷ് ചെയ്തു","review.commit.loading.step.push.pending":"ബ്രാഞ്ച് {branch}-ലേക്ക് പുഷ് ചെയ്യുന്നു","review.commit.loading.title.commit":"മാറ്റങ്ങൾ വരുത്തുന്നു","review.commit.loading.title.createPr":"PR സൃഷ്‌ടിക്കുന്നു","review.commit.loading.title.push":"മാറ്റങ്ങൾ പുഷ് ചെയ്യുന്നു","review.commit.messageLabel":"കമ്മിറ്റ് സന്ദേശം","review.commit.messagePlaceholder":"ഒരു കമ്മിറ്റ് മെസേജ് സ്വയം നിർമ്മിക്കുന്നതിനായി ഇത് കാലിയായി ഇടുക","review.commit.nextSteps":"അടുത്ത ഘട്ടങ്ങൾ","review.commit.nextSteps.commit":"കമ്മിറ്റ്","review.commit.nextSteps.commitAndCreate":"കമ്മിറ്റ് ചെയ്ത് PR സൃഷ്ടിക്കുക","review.commit.nextSteps.commitAndPush":"കമ്മിറ്റ് ചെയ്ത് പുഷ് ചെയ്യുക","review.commit.nextSteps.prRequiresGh":"GitHub CLI ആവശ്യമാണ്: {command}","review.commit.rows.changes":"മാറ്റങ്ങൾ","review.commit.rows.commitCount":"{count, plural, one {# കമ്മിറ്റ്} other {# കമ്മിറ്റുകൾ}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# കമ്മിറ്റ്} other {# കമ്മിറ്റുകൾ}}-ഉം {stats}-ഉം","review.commit.rows.fileCount":"{count, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}","review.commit.state.error.body":"കമ്മിറ്റ് ചെയ്യുമ്പോൾ എന്തോ കുഴപ്പം സംഭവിച്ചു. നിങ്ങളുടെ git സ്റ്റാറ്റസ് പരിശോധിച്ച് വീണ്ടും ശ്രമിക്കുക.","review.commit.state.error.title":"കമ്മിറ്റ് പരാജയപ്പെട്ടു","review.commit.state.success.title":"മാറ്റങ്ങൾ കമ്മിറ്റ് ചെയ്തു","review.commit.untracked.loadingStats":"ട്രാക്ക് ചെയ്യാത്ത ഡിഫ് സ്റ്റാറ്റുകൾ ലോഡ് ചെയ്യുന്നു…","reviewFindingAttachments.count":"{count, plural, one {# കണ്ടെത്തൽ} other {# കണ്ടെത്തലുകൾ}}","settings.agent.configuration.configToml":"നയങ്ങളും കസ്റ്റം മോഡ്","settings.agent.configuration.configToml.description":"ഏജൻ്റ് പെരുമാറ്റം ഇഷ്ടാനുസൃതമാക്കാൻ നിങ്ങളുടെ കോൺഫിഗറേഷൻ എഡിറ്റ് ചെയ്യുക","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"മാറ്റങ്ങൾ വരുത്തുന്നതിനായി എഡിറ്റിംഗിന് ശേഷം Codex റീസ്റ്റാർട്ട് ചെയ്യുക","settings.agent.configuration.subtitle":"Codex ഉപയോഗിക്കുന്ന എല്ലായിടത്തും ഈ ക്രമീകരണങ്ങൾ ബാധകമാണ്","settings.automations.banner.danger":"നിങ്ങളുടെ ഡിഫോൾട്ട് സാൻഡ്‌ബോക്‌സ് ക്രമീകരണങ്ങളിലാണ് ഓട്ടോമേഷനുകൾ പ്രവർത്തിക്കുന്നത്, അത് നിലവിൽ ഫുൾ ആക്സസ് ആയാണ് സജ്ജീകരിച്ചിരിക്കുന്നത്. ഫുൾ ആക്സസിൽ പശ്ചാത്തല ഓട്ടോമേഷനുകൾ പ്രവർത്തിപ്പിക്കുന്നത് വലിയ റിസ്ക് ഉള്ള കാര്യമാണ്; കാരണം അനുവാദം ചോദിക്കാതെ തന്നെ ഫയലുകളിൽ മാറ്റം വരുത്താനും കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കാനും നെറ്റ്‌വർക്ക് ഉപയോഗിക്കാനും Codex-ന് സാധിക്കും. സാൻഡ്‌ബോക്‌സ് ക്രമീകരണങ്ങൾ വർക്ക് സ്പേസ് റൈറ്റ് ആക്കി മാറ്റുന്നതും, ഏജന്റിന് ഫുൾ ആക്സസ് നൽകേണ്ട കമാൻഡുകൾ തിരഞ്ഞെടുക്കുന്നതിനായി <rulesDocsLink>റൂളുകൾ</rulesDocsLink> ഉപയോഗിക്കുന്നതും പരിഗണിക്കുക.","settings.automations.banner.defaultHowTo.default":"നിങ്ങളുടെ ഡിഫോൾട്ട് സാൻഡ്‌ബോക്‌സ് ക്രമീകരണങ്ങളിലാണ് ഓട്ടോമേഷനുകൾ പ്രവർത്തിക്കുന്നത്. വർക്ക് സ്പേസിന് പുറത്തുള്ള ഫയലുകളിൽ മാറ്റം വരുത്താനോ, നെറ്റ്‌വർക്ക് ഉപയോഗിക്കാനോ, കമ്പ്യൂട്ടറിലെ ആപ്പുകൾ ഉപയോഗിക്കാനോ ആവശ്യപ്പെട്ടാൽ ടൂൾ കോളുകൾ പരാജയപ്പെടും. സാൻഡ്‌ബോക്‌സിന് പുറത്ത് പ്രവർത്തിപ്പിക്കേണ്ട കമാൻഡുകളെ <rulesDocsLink>റൂളുകൾ</rulesDocsLink> ഉപയോഗിച്ച് നിങ്ങൾക്ക് തിരഞ്ഞെടുക്കാവുന്നതാണ്.","settings.automations.banner.defaultHowTo.readOnly":"റീഡ്-ഒൺലി ആയി സജ്ജീകരിച്ചിട്ടുള്ള നിങ്ങളുടെ ഡിഫോൾട്ട് സാൻഡ്‌ബോക്‌സ് ക്രമീകരണങ്ങളിലാണ് ഓട്ടോമേഷനുകൾ പ്രവർത്തിക്കുന്നത്. ഫയലുകളിൽ മാറ്റം വരുത്താനോ, നെറ്റ്‌വർക്ക് ഉപയോഗിക്കാനോ, കമ്പ്യൂട്ടറിലെ ആപ്പുകൾ ഉപയോഗിക്കാനോ ആവശ്യപ്പെട്ടാൽ ടൂൾ കോളുകൾ പരാജയപ്പെടും. സാൻഡ്‌ബോക്‌സ് ക്രമീകരണങ്ങൾ വർക്ക് സ്പേസ് റൈറ്റ് ആക്കി മാറ്റുന്നത് പരിഗണിക്കുക.","settings.automations.cancel":"റദ്ദാക്കുക","settings.automations.create":"സൃഷ്ടിക്കുക","settings.automations.cwdEmpty":"പ്രോജക്റ്റ് ഫോൾഡറുകൾ ലഭ്യമല്ല","settings.automations.cwdLabel":"പ്രോജക്റ്റുകൾ","settings.automations.cwdPlaceholder":"ഒരു ഫോൾഡർ തിരഞ്ഞെടുക്കുക","settings.automations.cwdSubtitle":"ഒരു പ്രത്യേക ബ്രാഞ്ചിൽ ഓട്ടോമേഷൻ പ്രവർത്തിപ്പിക്കണമെന്നുണ്ടെങ്കിൽ, നിങ്ങളുടെ പ്രോംപ്റ്റിൽ അത് വ്യക്തമാക്കാവുന്നതാണ്.","settings.automations.delete":"ഇല്ലാതാക്കുക","settings.automations.dialog.editTitle":"ഓട്ടോമേഷൻ എഡിറ്റ് ചെയ്യുക","settings.automations.dialog.newTitle":"പുതിയ ഓട്ടോമേഷൻ","settings.automations.dialog.subtitle":"ആവർത്തിച്ചുള്ള ടാസ്ക്കുകൾ പശ്ചാത്തലത്തിൽ ഓട്ടോമേറ്റ് ചെയ്യുക. Codex കണ്ടെത്തുന്ന വിവരങ്ങൾ ഇൻബോക്സിൽ ചേർക്കും, റിപ്പോർട്ട് ചെയ്യാൻ ഒന്നുമില്ലെങ്കിൽ ടാസ്ക് സ്വയമേവ ആർക്കൈവ് ചെയ്യും. <learnMoreLink>കൂടുതൽ അറിയുക</learnMoreLink>","settings.automations.dialog.title":"ഓട്ടോമേഷൻ സൃഷ്ടിക്കുക","settings.automations.executionCopy.git":"Git പ്രോജക്റ്റുകൾ നിശ്ചിത ബാക്ക്ഗ്രൗണ്ട് വർക്ക് ട്രീകളിൽ പ്രവർത്തിക്കുന്നു.","settings.automations.executionCopy.local":"തിരഞ്ഞെടുത്ത പ്രോജക്റ്റ് ഡയറക്ടറിയിൽ ഓട്ടോമേഷൻ നേരിട്ട് പ്രവർത്തിക്കുന്നു.","settings.automations.executionCopy.nonGit":"വേർഷൻ കൺട്രോൾ ഇല്ലാത്ത പ്രോജക്റ്റുകൾ ലോക്കലായി പ്രവർത്തിക്കുന്നു, കാരണം വർക്ക് ട്രീകൾക്ക് Git ആവശ്യമാണ്.","settings.automations.executionEnvironment.ariaLabel":"എക്സിക്യൂഷൻ എൻവയോൺമെൻ്റ്","settings.automations.executionEnvironment.label":"എക്സിക്യൂഷൻ എൻവയോൺമെൻ്റ്","settings.automations.executionEnvironment.local":"ലോക്കൽ","settings.automations.executionEnvironment.local.help":"വർക്ക് ട്രീ നിർമ്മിക്കാതെ തന്നെ തിരഞ്ഞെടുത്ത പ്രോജക്റ്റ് ഡയറക്ടറിയിൽ നേരിട്ട് പ്രവർത്തിക്കുന്നു.","settings.automations.executionEnvironment.worktree":"വർക്ക്ട്രീ","settings.automations.executionEnvironment.worktree.help":"നിങ്ങളുടെ നിലവിലെ ചെക്ക് ഔട്ടിനെ മാറ്റമില്ലാതെ നിലനിർത്തിക്കൊണ്ട്, തിരഞ്ഞെടുത്ത പ്രോജക്റ്റിൽ നിന്ന് നിർമ്മിച്ച ഒരു നിശ്ചിത Git വർക്ക് ട്രീയിൽ പ്രവർത്തിക്കുന്നു.","settings.automations.loading":"ലോഡിംഗ്...","settings.automations.nameLabel":"പേര്","settings.automations.namePlaceholder":"സെൻട്രി പ്രശ്നങ്ങൾ പരിശോധിക്കുക","settings.automations.pause":"താൽക്കാലികമായി നിർത്തുക","settings.automations.promptLabel":"പ്രോംപ്റ്റ്","settings.automations.promptPlaceholder":"$Sentry-ൽ ക്രാഷുകൾക്കായി തിരയുക","settings.automations.resume":"പുനരാരംഭിക്കുക","settings.automations.rruleSummaryFallback":"ഇഷ്ടാനുസൃത ഷെഡ്യൂൾ","settings.automations.runNow":"ടെസ്റ്റ്","settings.automations.save":"സംരക്ഷിക്കുക","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"പ്രവൃത്തിദിവസങ്ങൾ","settings.automations.scheduleBadge.weekends":"വാരാന്ത്യങ്ങൾ","settings.automations.scheduleHeader":"ഷെഡ്യൂൾ","settings.automations.scheduleHours":"മണിക്കൂർ","settings.automations.scheduleLabel":"ഓരോ തവണയും റൺ ചെയ്യുക","settings.automations.scheduleMode.daily":"എല്ലാ ദിവസവും","settings.automations.scheduleMode.interval":"ഇടവേള","settings.automations.scheduleModeLabel":"ഷെഡ്യൂൾ തരം","settings.automations.scheduleSummary.daily":"എല്ലാദിവസവും{time}-ന്","settings.automations.scheduleSummary.interval":"എല്ലാ {count}h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ദിവസം} other {#ദിവസം}}","settings.automations.scheduleSummary.intervalDays":"{days}-ന് {interval}","settings.automations.scheduleSummary.intervalHourly":"ഓരോ മണിക്കൂറും","settings.automations.scheduleSummary.singleDay":"{day}{time}-ന്","settings.automations.scheduleSummary.weekdays":"പ്രവൃത്തിദിവസങ്ങളിൽ {time}-ന്","settings.automations.scheduleSummary.weekdaysLabel":"പ്രവൃത്തിദിവസങ്ങൾ","settings.automations.scheduleSummary.weekends":"വാരാന്ത്യങ്ങളിൽ {time}-ന്","settings.automations.scheduleSummary.weekendsLabel":"വാരാന്ത്യങ്ങൾ","settings.automations.scheduleSummary.weekly":"{days}{time}-ന്","settings.automations.scheduleWeekdays":"ഓൺ","settings.automations.weekdayState.excluded":"ഒഴിവാക്കി","settings.automations.weekdayState.included":"ഉൾപ്പെടുത്തി","settings.conversationDetail.steps":"ഘട്ടങ്ങൾ","settings.conversationDetail.steps.description":"കമാൻഡുകളും ഔട്ട്പുട്ടുകളും മറയ്ക്കുക","settings.conversationDetail.stepsWithCommands":"കോഡ് കമാൻഡുകൾ ഉപയോഗിച്ചുള്ള ഘട്ടങ്ങൾ","settings.conversationDetail.stepsWithCommands.description":"കമാൻഡുകൾ കാണിക്കുക, ഔട്ട്പുട്ട് ചുരുക്കുക","settings.conversationDetail.stepsWithOutput":"കോഡ് ഔട്ട്പുട്ടുള്ള ഘട്ടങ്ങൾ","settings.conversationDetail.stepsWithOutput.description":"കമാൻഡുകൾ കാണിക്കുക, ഔട്ട്പുട്ട് വികസിപ്പിക്കുക","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"ആർകൈവ് ചെയ്‌ത ചാറ്റുകൾ ഒന്നുമില്ല.","settings.dataControls.archivedChats.error":"ആർക്കൈവ് ചെയ്ത ചാറ്റുകൾ ലോഡ് ചെയ്യാൻ കഴിഞ്ഞില്ല.","settings.dataControls.archivedChats.loading":"ആർക്കൈവ് ചെയ്ത ചാറ്റുകൾ ലോഡ് ചെയ്യുന്നു…","settings.dataControls.archivedChats.unarchive":"അൺആർക്കൈവ് ചെയ്യുക","settings.dataControls.archivedChats.unarchiveError":"ചാറ്റ് അൺആർക്കൈവ് ചെയ്യാൻ കഴിഞ്ഞില്ല","settings.dataControls.archivedChats.unarchiveSuccess":"ത്രെഡ് അൺആർക്കൈവ് ചെയ്തിരിക്കുന്നു. <viewNowLink>ഇപ്പോൾ കാണുക</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"അൺആർക്കൈവ് ചെയ്ത ത്രെഡ്.","settings.dataControls.archivedChats.untitled":"പേരിടാത്ത ചാറ്റ്","settings.dataControls.archivedChats.viewNow":"ഇപ്പോൾ കാണുക","settings.editRow.headerPlaceholder":"കീ","settings.editRow.removeEntry":"എൻട്രി നീക്കം ചെയ്യുക","settings.editRow.valuePlaceholder":"മൂല്യം","settings.general.appearance":"രൂപം","settings.general.appearance.codeFont":"കോഡ് ഫോണ്ട്","settings.general.appearance.codeFont.description":"ചാറ്റുകളിലും ഡിഫുകളിലും കോഡിനായി ഉപയോഗിക്കുന്ന ഫോണ്ടും വലുപ്പവും ക്രമീകരിക്കുക.","settings.general.appearance.codeFontFamily":"കോഡ് ഫോണ്ട് ഫാമിലി","settings.general.appearance.codeFontSize":"കോഡ് ഫോണ്ട് വലുപ്പം","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"സിസ്റ്റം ട്രാൻസ്ലൂസൻസിക്ക് പകരം വിൻഡോകൾക്ക് സോളിഡ് ബാക്ഗ്രൗണ്ട് നൽകുക","settings.general.appearance.opaqueWindows.label":"വെളിച്ചം കടക്കാത്ത വിൻഡോ ബാക്ഗ്രൗണ്ട് ഉപയോഗിക്കുക","settings.general.appearance.sansFontFamily":"Sans ഫോണ്ട് ഫാമിലി","settings.general.appearance.sansFontFamily.description":"Codex UI-യിൽ ഉപയോഗിക്കുന്ന ഫോണ്ട് ക്രമീകരിക്കുക","settings.general.appearance.sansFontSize":"സാൻസ് ഫോണ്ട് സൈസ്","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-സ്പാർക്ക് ആദ്യമായി പ്രവർത്തിക്കുമ്പോൾ ഫുൾ വിൻഡോ സെലിബ്രേഷൻ ഇഫക്റ്റുകൾ കാണിക്കുക","settings.general.appearance.sparkCelebrationEffects.label":"സ്പാർക്ക് സെലിബ്രേഷൻ ഇഫക്റ്റുകൾ","settings.general.appearance.theme":"തീം","settings.general.appearance.theme.dark":"ഡാർക്ക്","settings.general.appearance.theme.description":"ലൈറ്റ്, ഡാർക്ക് അല്ലെങ്കിൽ നിങ്ങളുടെ സിസ്റ്റത്തിന് അനുയോജ്യമായ രീതിയിൽ മാറ്റുക","settings.general.appearance.theme.light":"ലൈറ്റ്","settings.general.appearance.theme.system":"സിസ്റ്റം","settings.general.appearance.usePointerCursors.description":"ഇന്‍ററാക്ടീവ് ആയ എലമെന്‍റുകൾക്ക് മുകളിലൂടെ കർസർ നീങ്ങുമ്പോൾ അത് ഒരു പോയിന്‍റായി മാറ്റുക","settings.general.appearance.usePointerCursors.label":"പോയിന്‍റർ കർസറുകൾ ഉപയോഗിക്കുക","settings.general.enterBehavior.description":"ഇത് സജീവമാക്കിയാൽ, മൾട്ടിലൈൻ പ്രോംപ്റ്റുകൾ അയക്കാൻ {modifierSymbol} + എൻ്റർ ആവശ്യമാണ്.","settings.general.enterBehavior.label":"ദൈർഘ്യമുള്ള പ്രോംപ്റ്റുകൾ അയക്കാൻ {modifierSymbol} + എൻ്റർ ആവശ്യമാണ്","settings.general.experimentalFeatures":"പരീക്ഷണാടിസ്ഥാനത്തിലുള്ള ഫീച്ചറുകൾ (ബീറ്റ)","settings.general.experimentalFeatures.empty":"ബീറ്റ പരീക്ഷണാടിസ്ഥാനത്തിലുള്ള ഫീച്ചറുകൾ ലഭ്യമല്ല.","settings.general.experimentalFeatures.loading":"പരീക്ഷണാടിസ്ഥാനത്തിലുള്ള ഫീച്ചറുകൾ ലോഡ് ചെയ്യുന്നു…","settings.general.experimentalFeatures.restartNote":"പരീക്ഷണാടിസ്ഥാനത്തിലുള്ള ഫീച്ചർ മാറ്റങ്ങൾ നടപ്പിലാക്കാൻ Codex റീസ്റ്റാർട്ട് ചെയ്യുക","settings.general.experimentalFeatures.toggle":"{featureName} മാറ്റുക","settings.general.followUpQueueMode.description":"Codex പ്രവർത്തിക്കുമ്പോൾ ഫോളോ-അപ്പുകൾ ക്യൂ ചെയ്യുക അല്ലെങ്കിൽ നിലവിലെ റണ്ണിനെ നിയന്ത്രിക്കുക. ഒരു സന്ദേശത്തിന് മാത്രം ഇതിന് വിപരീതമായി ചെയ്യാൻ {invertFollowUpShortcutLabel} അമർത്തുക.","settings.general.followUpQueueMode.interrupt":"സ്റ്റിയർ","settings.general.followUpQueueMode.label":"ഫോളോ-അപ്പ് പെരുമാറ്റം","settings.general.followUpQueueMode.queue":"ക്യൂ","settings.general.notifications":"അറിയിപ്പുകൾ","settings.general.power.preventSleepWhileRunning.description":"Codex ഒരു ത്രെഡ് റൺ ചെയ്യുമ്പോൾ നിങ്ങളുടെ കമ്പ്യൂട്ടർ സജീവമായി നിലനിർത്തുക.","settings.general.power.preventSleepWhileRunning.label":"റൺ ചെയ്യുമ്പോൾ സജീവമായി നിലനിർത്തുക","settings.git.branchPrefix.ariaLabel":"ബ്രാഞ്ച് പ്രിഫിക്സ്","settings.git.branchPrefix.description":"Codex-ൽ പുതിയ ബ്രാഞ്ചുകൾ സൃഷ്ടിക്കുമ്പോൾ ഉപയോഗിക്കുന്ന പ്രിഫിക്സ്","settings.git.branchPrefix.label":"ബ്രാഞ്ച് പ്രിഫിക്സ്","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"ബ്രാഞ്ച് പ്രിഫിക്സ് സേവ് ചെയ്യാനായില്ല","settings.git.branchPrefix.save.success":"ബ്രാഞ്ച് പ്രിഫിക്സ് സേവ് ചെയ്തു","settings.git.commitInstructions.ariaLabel":"കമ്മിറ്റ് നിർദ്ദേശങ്ങൾ","settings.git.commitInstructions.description":"കമ്മിറ്റ് മെസേജ് നിർമ്മാണത്തിനായുള്ള പ്രോംപ്റ്റുകളിൽ ചേർത്തു","settings.git.commitInstructions.label":"കമ്മിറ്റ് നിർദ്ദേശങ്ങൾ","settings.git.commitInstructions.placeholder":"കമ്മിറ്റ് മെസേജിനായുള്ള മാർഗ്ഗനിർദ്ദേശങ്ങൾ ചേർക്കുക…","settings.git.commitInstructions.save":"സംരക്ഷിക്കുക","settings.git.commitInstructions.save.error":"കമ്മിറ്റ് നിർദ്ദേശങ്ങൾ സേവ് ചെയ്യാനായില്ല","settings.git.commitInstructions.save.success":"കമ്മിറ്റ് നിർദ്ദേശങ്ങൾ സേവ് ചെയ്തു","settings.git.forcePush.ariaLabel":"എപ്പോഴും നിർബന്ധിച്ചുള്ള പുഷ് ചെയ്യുക","settings.git.forcePush.description":"Codex-ൽ നിന്ന് പുഷ് ചെയ്യുമ്പോൾ --ഫോഴ്സ് ഒപ്പം ലീസ് ഉപയോഗിക്കുക","settings.git.forcePush.label":"എപ്പോഴും നിർബന്ധിച്ചുള്ള പുഷ് ചെയ്യുക","settings.git.forcePush.save.disabled":"എപ്പോഴും നിർബന്ധിച്ചുള്ള പുഷ് പ്രവർത്തനരഹിതമാക്കുക","settings.git.forcePush.save.enabled":"എപ്പോഴും നിർബന്ധിച്ചുള്ള പുഷ് പ്രവർത്തന സജ്ജമാക്കുക","settings.git.forcePush.save.error":"ഫോഴ്‌സ് പുഷ് ക്രമീകരണം സേവ് ചെയ്യാനായില്ല","settings.git.prInstructions.ariaLabel":"പുൾ റിക്വസ്റ്റ് നിർദ്ദേശങ്ങൾ","settings.git.prInstructions.description":"Codex നിർമ്മിച്ച പുൾ റിക്വസ്റ്റ് ബോഡികളിൽ ചേർത്തിരിക്കുന്നു","settings.git.prInstructions.label":"പുൾ റിക്വസ്റ്റ് നിർദ്ദേശങ്ങൾ","settings.git.prInstructions.placeholder":"പുൾ റിക്വസ്റ്റിനായുള്ള മാർഗ്ഗനിർദ്ദേശങ്ങൾ ചേർക്കുക…","settings.git.prInstructions.save":"സംരക്ഷിക്കുക","settings.git.prInstructions.save.error":"പുൾ റിക്വസ്റ്റ് നിർദ്ദേശങ്ങൾ സേവ് ചെയ്യാനായില്ല","settings.git.prInstructions.save.success":"പുൾ റിക്വസ്റ്റ് നിർദ്ദേശങ്ങൾ സേവ് ചെയ്തു","settings.ide.defaultOpenTarget.description":"ഫയലുകളും ഫോൾഡറുകളും ഡിഫോൾട്ടായി തുറക്കുന്നിടത്ത്","settings.ide.defaultOpenTarget.label":"ഡിഫോൾട്ട് ഓപ്പൺ ഡെസ്റ്റിനേഷൻ","settings.ide.defaultOpenTarget.placeholder":"ലക്ഷ്യങ്ങളൊന്നും കണ്ടെത്തിയില്ല","settings.ide.language.auto":"സ്വയം കണ്ടെത്തുക","settings.ide.language.autoOption":"സ്വയം കണ്ടെത്തുക","settings.ide.language.description":"ആപ്പ് UI-യുടെ ഭാഷ","settings.ide.language.label":"ഭാഷ","settings.ide.language.search":"ഭാഷകൾ തിരയുക","settings.layout.actionButton":"എക്സ്റ്റെൻഷൻ റീസ്റ്റാർട്ട് ചെയ്യുക","settings.layout.actionTitle":"പ്രവർത്തനത്തോടുകൂടിയ ക്രമീകരണം","settings.layout.fullWidthTitle":"ക്രമീകരണങ്ങൾ (മുഴുവൻ വീതിയിൽ)","settings.layout.title":"ക്രമീകരണങ്ങൾ","settings.localEnvironments.actions.add":"നടപടി ചേർക്കുക","settings.localEnvironments.actions.add.description":"ടൂൾബാറിൽ നിന്ന് പ്രവർത്തിപ്പിക്കാൻ പുതിയൊരു കമാൻഡ് സൃഷ്ടിക്കുക.","settings.localEnvironments.actions.add.save":"സംരക്ഷിക്കുക","settings.localEnvironments.actions.empty":"ലോക്കൽ ടൂൾബാറിൽ നിന്ന് കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കുന്നതിന് ഒരു നടപടി ചേർക്കുക.","settings.localEnvironments.actions.icon.debug":"ഡീബഗ്","settings.localEnvironments.actions.icon.run":"റൺ ചെയ്യുക","settings.localEnvironments.actions.icon.test":"ടെസ്റ്റ്","settings.localEnvironments.actions.icon.tool":"ടൂൾ","settings.localEnvironments.actions.item.button.delete":"ഇല്ലാതാക്കുക","settings.localEnvironments.actions.item.command":"ആക്ഷൻ സ്ക്രിപ്റ്റ്","settings.localEnvironments.actions.item.name":"പേര്","settings.localEnvironments.actions.item.platforms":"പ്ലാറ്റ്‌ഫോമുകൾ","settings.localEnvironments.actions.item.platforms.help":"ഒരു പ്രത്യേക OS-ൽ മാത്രം പ്രവർത്തിക്കുക.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"പ്ലാറ്റ്‌ഫോം സെലക്ഷൻ","settings.localEnvironments.actions.item.platforms.specific":"പ്ലാറ്റ്‌ഫോം അധിഷ്ഠിതം","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"ഇല്ലാതാക്കുക","settings.localEnvironments.actions.title":"നടപടികൾ","settings.localEnvironments.breadcrumb.back":"തിരികെ പോകുക","settings.localEnvironments.breadcrumb.edit":"എഡിറ്റ് ചെയ്യുക","settings.localEnvironments.breadcrumb.root":"എൻവയോൺമെന്‍റുകൾ","settings.localEnvironments.environment.actions.description":"ഈ പ്രവർത്തനങ്ങൾക്ക് ഏത് കമാൻഡും പ്രവർത്തിപ്പിക്കാൻ കഴിയും, അവ ഹെഡറിൽ പ്രദർശിപ്പിക്കും.","settings.localEnvironments.environment.actionsLabel":"നടപടികൾ","settings.localEnvironments.environment.create":"ലോക്കൽ എൻവയോൺമെൻ്റ് സൃഷ്ടിക്കുക","settings.localEnvironments.environment.defaultName":"ലോക്കൽ","settings.localEnvironments.environment.edit":"ലോക്കൽ എൻവയോൺമെൻ്റ് എഡിറ്റ് ചെയ്യുക","settings.localEnvironments.environment.empty":"ഈ പ്രോജക്റ്റിനായി ഇതുവരെ ലോക്കൽ എൻവയോൺമെൻ്റ് ക്രമീകരിച്ചിട്ടില്ല.","settings.localEnvironments.environment.name":"പേര്","settings.localEnvironments.environment.setup":"സ്ക്രിപ്റ്റ് സജ്ജീകരിക്കുക","settings.localEnvironments.environment.setup.description":"ഈ സ്ക്രിപ്റ്റ് വർക്ക്ട്രീ സൃഷ്ടിക്കുന്ന സമയത്ത് ഈ സ്ക്രിപ്റ്റ് റൺ ചെയ്യും.","settings.localEnvironments.environment.setup.hint":"പ്രോജക്റ്റ് റൂട്ടിൽ പ്രവർത്തിക്കുന്നു.","settings.localEnvironments.environment.setup.platformOverrides":"പ്ലാറ്റ്‌ഫോം ഓവർറൈഡുകൾ","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} സെറ്റപ്പ് സ്ക്രിപ്റ്റ് സജ്ജീകരിക്കുക","settings.localEnvironments.environment.setup.platformOverrides.description":"ചില പ്രത്യേക OS-കൾക്കായി ഡിഫോൾട്ട് സ്ക്രിപ്റ്റ് മാറ്റിയെഴുതുന്നു.","settings.localEnvironments.environment.setup.platformOverrides.remove":"നീക്കം ചെയ്യുക","settings.localEnvironments.environment.setup.script":"സ്ക്രിപ്റ്റ്","settings.localEnvironments.environment.title":"എൻവയോൺമെൻ്റ് വിശദാംശങ്ങൾ","settings.localEnvironments.file.missing":"ഈ ഫയൽ ആദ്യമായി സൃഷ്ടിക്കാൻ സേവ് ചെയ്യുക.","settings.localEnvironments.file.parseError":"നിലവിലുള്ള ഫയൽ പാഴ്‌സ് ചെയ്യാൻ കഴിയുന്നില്ല. സേവ് ചെയ്യുന്നത് അതിനെ ഓവർറൈറ്റ് ചെയ്യും. ({error})","settings.localEnvironments.file.path":"ഫയൽ: {path}","settings.localEnvironments.file.readError":"ലോക്കൽ എൻവയോൺമെൻ്റ് ഡാറ്റ ലോഡ് ചെയ്യാനായില്ല. ({error})","settings.localEnvironments.file.title":"ലോക്കൽ എൻവയോൺമെൻ്റ് ഫയൽ","settings.localEnvironments.loading.body":"നിങ്ങളുടെ പ്രോജക്റ്റ് കോൺഫിഗറേഷൻ ലഭ്യമാക്കുന്നു.","settings.localEnvironments.loading.title":"ലോക്കൽ എൻവയോൺമെന്‍റുകൾ ലോഡ് ചെയ്യുന്നു","settings.localEnvironments.preview.devOnly":"(DEV മാത്രം)","settings.localEnvironments.preview.save":"സംരക്ഷിക്കുക","settings.localEnvironments.preview.saveError":"ഫയൽ സേവ് ചെയ്യാനായില്ല. ({error})","settings.localEnvironments.preview.title":"പ്രിവ്യൂ","settings.localEnvironments.save.disabled.name":"സേവ് ചെയ്യുന്നതിനായി എൻവയോൺമെൻ്റ് പേര് ചേർക്കുക.","settings.localEnvironments.save.disabled.noChanges":"സേവ് ചെയ്യാൻ മാറ്റങ്ങളൊന്നുമില്ല.","settings.localEnvironments.save.disabled.saving":"സേവ് ചെയ്യുന്നു…","settings.localEnvironments.save.success":"ലോക്കൽ എൻവയോൺമെൻ്റ് സേവ് ചെയ്തു","settings.localEnvironments.unavailable.body":"ഈ പ്രോജക്റ്റിനുള്ള ലോക്കൽ എൻവയോൺമെൻ്റ് ക്രമീകരണങ്ങൾ ലോഡ് ചെയ്യാൻ ഞങ്ങൾക്ക് കഴിഞ്ഞില്ല.","settings.localEnvironments.unavailable.title":"ലോക്കൽ എൻവയോൺമെന്‍റുകൾ ലഭ്യമല്ല","settings.localEnvironments.workspace.add":"പ്രോജക്റ്റ് ചേർക്കുക","settings.localEnvironments.workspace.title":"പ്രോജക്റ്റ്","settings.localEnvironments.workspaceSelect.addLabel":"എൻവയോൺമെൻ്റ് ചേർക്കുക","settings.localEnvironments.workspaceSelect.description":"ഒരു പ്രോജക്റ്റിനായി വർക്ക്‌ട്രീകൾ എങ്ങനെ സജ്ജീകരിക്കാമെന്ന് പ്രാദേശിക എൻവയോൺമെന്‍റുകൾ Codex-നോട് പറയുന്നു. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ഇതുവരെ പ്രോജക്റ്റുകൾ ഒന്നുമില്ല. ലോക്കൽ എൻവയോൺമെന്‍റുകൾ കോൺഫിഗർ ചെയ്യാൻ ഒന്ന് ചേർക്കുക.","settings.localEnvironments.workspaceSelect.errorLabel":"എൻവയോൺമെന്‍റിന് ശ്രദ്ധ ആവശ്യമാണ്","settings.localEnvironments.workspaceSelect.learnMore":"കൂടുതലറിയുക","settings.localEnvironments.workspaceSelect.listLabel":"ലഭ്യമായ പ്രോജക്റ്റുകൾ","settings.localEnvironments.workspaceSelect.loading":"പ്രോജക്റ്റുകൾ ലോഡ് ചെയ്യുന്നു.","settings.localEnvironments.workspaceSelect.loadingLabel":"എൻവയോൺമെൻ്റ് ലോഡ് ചെയ്യുന്നു","settings.localEnvironments.workspaceSelect.title":"ഒരു പ്രോജക്റ്റ് തിരഞ്ഞെടുക്കുക","settings.localEnvironments.workspaceSelect.viewAction":"കാണുക","settings.mcp.addServer":"സെർവർ ചേർക്കുക","settings.mcp.app.configure":"കോൺഫിഗർ ചെയ്യുക","settings.mcp.app.connect":"ബന്ധിപ്പിക്കുക","settings.mcp.apps.refresh":"റീഫ്രഷ് ചെയ്യുക","settings.mcp.detail.addArgument":"ആർഗ്യുമെൻ്റ് ചേർക്കുക","settings.mcp.detail.addEnvVar":"എൻവയോൺമെൻ്റ് വേരിയബിൾ ചേർക്കുക","settings.mcp.detail.addEnvVarPassthrough":"വേരിയബിൾ ചേർക്കുക","settings.mcp.detail.args":"ആർഗ്യുമെൻ്റുകൾ","settings.mcp.detail.back":"തിരികെ പോകുക","settings.mcp.detail.command":"ലോഞ്ച് ചെയ്യാനുള്ള കമാൻഡ്","settings.mcp.detail.cwd":"വർക്കിംഗ് ഡയറക്‌ടറി","settings.mcp.detail.docs":"MCP ഡോക്യുമെൻ്റേഷൻ തുറക്കുക","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"എൻവയോൺമെൻ്റ് വേരിയബിൾ പാസ്‌ത്രൂ","settings.mcp.detail.envVars":"എൻവയോൺമെൻ്റ് വേരിയബിളുകൾ","settings.mcp.detail.http.addEnvHeader":"വേരിയബിൾ ചേർക്കുക","settings.mcp.detail.http.addHeader":"ഹെഡർ ചേർക്കുക","settings.mcp.detail.http.bearerToken":"ബെയറർ ടോക്കൺ env var","settings.mcp.detail.http.envHeaders":"എൻവയോൺമെന്റ് വേരിയബിളുകളിൽ നിന്നുള്ള ഹെഡറുകൾ","settings.mcp.detail.http.headers":"എൻവയോൺമെൻ്റ് വേരിയബിളുകളിൽ നിന്നുള്ള ഹെഡറുകൾ","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"പേര്","settings.mcp.detail.save":"സംരക്ഷിക്കുക","settings.mcp.detail.switchTransportNotice":"നിങ്ങൾക്ക് MCP സെർവർ തരം മാറ്റണമെങ്കിൽ, ആദ്യം അൺഇൻസ്റ്റാൾ ചെയ്യുക.","settings.mcp.detail.titleExisting":"{name} MCP അപ്ഡേറ്റ് ചെയ്യുക","settings.mcp.detail.titleNew":"ഒരു ഇഷ്ടാനുസൃത MCP-യിലേക്ക് കണക്റ്റുചെയ്യുക","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"അൺഇൻസ്റ്റാൾ ചെയ്യുക","settings.mcp.empty":"ഇഷ്ടാനുസൃത MCP സെർവറുകളൊന്നും ബന്ധിപ്പിച്ചിട്ടില്ല","settings.mcp.myServers":"ഇഷ്ടാനുസൃത സെർവറുകൾ","settings.mcp.partnerServer.description.figma":"പൂർണ്ണമായ ഫിഗ്മ കോൺടെക്സ്റ്റ് ഉൾപ്പെടുത്തിക്കൊണ്ട് കൂടുതൽ മികച്ച കോഡ് നിർമ്മിക്കൂ","settings.mcp.partnerServer.description.github":"വർക്ക്ഫ്ലോകൾ ഓട്ടോമേറ്റ് ചെയ്യുന്നതിനും ഡാറ്റ എക്‌സ്‌ട്രാക്റ്റുചെയ്യുന്നതിനും GitHub API-കളുമായി സംയോജിപ്പിക്കുക.","settings.mcp.partnerServer.description.linear":"ലീനിയറിന്‍റെ ഇഷ്യൂ ട്രാക്കിംഗുമായും പ്രോജക്റ്റ് മാനേജ്‌മെന്‍റുമായും സംയോജിപ്പിക്കുക","settings.mcp.partnerServer.description.notion":"ഡോക്സ് വായിക്കൂ, പേജുകൾ അപ്ഡേറ്റ് ചെയ്യൂ, ടാസ്‌ക്കുകൾ മാനേജ് ചെയ്യൂ","settings.mcp.partnerServer.description.playwright":"ഡിസൈൻ നടപ്പിലാക്കുന്നതിനും UI പരിശോധിക്കുന്നതിനും ബ്രൗസർ ഓട്ടോമേഷൻ സംയോജിപ്പിക്കുക.","settings.mcp.partnerServer.install":"ഇൻസ്റ്റാൾ ചെയ്യുക","settings.mcp.partnerServer.installAndAuthenticate":"ഇൻസ്റ്റാൾ ചെയ്ത് പ്രാമാണീകരിക്കുക","settings.mcp.partnerServer.logoAlt":"{label}ലോഗോ","settings.mcp.partnerServer.manage":"മാനേജ് ചെയ്യുക","settings.mcp.partnerServer.vendor":"{vendor}-ൻ്റെ","settings.mcp.recommendedServers":"നിർദ്ദേശിക്കുന്ന സെർവറുകൾ","settings.mcp.restartApp":"റീസ്റ്റാർട്ട് ചെയ്യുക","settings.mcp.restartExtension":"എക്സ്റ്റെൻഷൻ റീസ്റ്റാർട്ട് ചെയ്യുക","settings.mcp.server.enable":"പ്രവർത്തന സജ്ജമാക്കുക","settings.mcp.server.login":"പ്രാമാണീകരിക്കുക","settings.mcp.server.settings":"ക്രമീകരണങ്ങൾ","settings.multiselect.createOption":'"{value}" സൃഷ്ടിക്കുക',"settings.multiselect.removeOption":"നീക്കം ചെയ്യുക","settings.nav.account":"അക്കൗണ്ട്","settings.nav.agent":"കോൺഫിഗറേഷൻ","settings.nav.ariaLabel":"ക്രമീകരണങ്ങൾ","settings.nav.back":"ആപ്പിലേക്ക് മടങ്ങുക","settings.nav.data-controls":"ആർക്കൈവ് ചെയ്ത ത്രെഡുകൾ","settings.nav.environments":"ക്ലൗഡ് എൻവയോൺമെന്‍റുകൾ","settings.nav.externalTooltip":"[alpha] ബ്രൗസറിൽ തുറക്കുന്നു","settings.nav.general-settings":"ജനറൽ","settings.nav.git-settings":"Git","settings.nav.local-environments":"എൻവയോൺമെന്‍റുകൾ","settings.nav.mcp-settings":"MCP സെർവറുകൾ","settings.nav.notImplemented":"[alpha] ആൽഫയിൽ ലഭ്യമല്ല","settings.nav.personalization":"വ്യക്തിഗതമാക്കൽ","settings.nav.skills-settings":"സ്‌കില്ലുകൾ","settings.nav.usage-analytics":"ഉപയോഗവും വിശകലനവും","settings.nav.worktrees":"വർക്ക്ട്രീകൾ","settings.openSourceLicenses.back":"തിരികെ പോകുക","settings.openSourceLicenses.loading":"ലോഡിംഗ്...","settings.openSourceLicenses.missing":"തേർഡ് പാർട്ടി നോട്ടീസുകളൊന്നും കണ്ടെത്താനായില്ല.","settings.openSourceLicenses.notSupported":"ഈ ഹോസ്റ്റിൽ ലഭ്യമല്ല.","settings.openSourceLicenses.rowDescription":"ബണ്ടിൽ ചെയ്ത ഡിപെൻഡൻസികൾക്കുള്ള തേർഡ് പാർട്ടി നോട്ടീസുകൾ","settings.openSourceLicenses.rowLabel":"ഓപ്പൺ സോഴ്സ് ലൈസൻസുകൾ","settings.openSourceLicenses.subtitle":"ഈ ആപ്പിൽ ഉൾപ്പെടുത്തിയിരിക്കുന്ന ഡിപെൻഡൻസികൾക്കുള്ള തേർഡ് പാർട്ടി നോട്ടീസുകൾ","settings.openSourceLicenses.title":"ഓപ്പൺ സോഴ്സ് ലൈസൻസുകൾ","settings.openSourceLicenses.view":"കാണുക","settings.personalization.agents.description":"നിങ്ങൾക്ക് അനുയോജ്യമായ Codex തയ്യാറാക്കുന്ന നിർദ്ദേശങ്ങൾ എഡിറ്റ് ചെയ്യുക. {learnMore}","settings.personalization.agents.learnMore":"കൂടുതലറിയുക","settings.personalization.agents.loadError":"agents.md ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല.","settings.personalization.agents.loading":"agents.md ലോഡ് ചെയ്യുന്നു…","settings.personalization.agents.placeholder":"നിങ്ങളുടെ ഇഷ്ടാനുസൃത നിർദ്ദേശങ്ങൾ ചേർക്കുക…","settings.personalization.agents.retry":"വീണ്ടും ശ്രമിക്കുക","settings.personalization.agents.save":"സംരക്ഷിക്കുക","settings.personalization.agents.save.error":"agents.md സേവ് ചെയ്യാൻ കഴിയുന്നില്ല","settings.personalization.agents.save.success":"agents.md സേവ് ചെയ്തു","settings.personalization.agents.title":"ഇഷ്ടാനുസൃത നിർദ്ദേശങ്ങൾ","settings.personalization.personality.description":"Codex മറുപടികൾക്ക് ഒരു ഡിഫോൾട്ട് ടോൺ തിരഞ്ഞെടുക്കുക","settings.personalization.personality.label":"വ്യക്തിത്വം","settings.sample.contentBody":"സ്ഥിരമായ സ്പെയ്സിംഗ് ഉപയോഗിച്ച് നിങ്ങളുടെ ക്രമീകരണ പാനലുകൾ കമ്പോസ് ചെയ്യാൻ ഈ ലേഔട്ട് ഉപയോഗിക്കുക.","settings.sample.contentTitle":"സാമ്പിൾ ഉള്ളടക്ക ബ്ലോക്ക്","settings.section.account":"അക്കൗണ്ട്","settings.section.agent":"കോൺഫിഗറേഷൻ","settings.section.data-controls":"ആർക്കൈവ് ചെയ്ത ത്രെഡുകൾ","settings.section.environments":"ക്ലൗഡ് എൻവയോൺമെന്‍റുകൾ","settings.section.external":"ആൽഫ സമയത്ത് നിങ്ങളുടെ ബ്രൗസറിൽ തുറക്കുന്നു","settings.section.general-settings":"ജനറൽ","settings.section.git-settings":"Git","settings.section.local-environments":"എൻവയോൺമെന്‍റുകൾ","settings.section.mcp-settings":"MCP സെർവറുകൾ","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"ബാഹ്യ ഉപകരണങ്ങളും ഡാറ്റ ഉറവിടങ്ങളും ബന്ധിപ്പിക്കുക.","settings.section.personalization":"വ്യക്തിഗതമാക്കൽ","settings.section.skills-settings":"സ്‌കില്ലുകൾ","settings.section.unavailable":"ആൽഫയിൽ ഇതുവരെ ലഭ്യമല്ല","settings.section.usage-analytics":"ഉപയോഗവും വിശകലനവും","settings.section.worktrees":"വർക്ക്ട്രീകൾ","settings.threadDetail.description":"ത്രെഡുകളിൽ എത്ര കമാൻഡ് ഔട്ട്പുട്ട് കാണിക്കണമെന്ന് തിരഞ്ഞെടുക്കുക","settings.threadDetail.label":"ത്രെഡ് വിശദാംശങ്ങൾ","settings.worktrees.conversation.untitled":"പേരില്ലാത്ത സംഭാഷണം","settings.worktrees.delete.error":"വർക്ക്ട്രീ ഇല്ലാതാക്കാനായില്ല","settings.worktrees.empty.body":"Codex സൃഷ്ടിച്ച വർക്ക്ട്രീകൾ ഇവിടെ കാണാനാകും.","settings.worktrees.empty.title":"ഇതുവരെ വർക്ക്ട്രീകളൊന്നുമില്ല","settings.worktrees.error.body":"വർക്ക്ട്രീകൾ ലോഡ് ചെയ്യുമ്പോൾ എന്തോ കുഴപ്പം സംഭവിച്ചു.","settings.worktrees.error.retry":"വീണ്ടും ശ്രമിക്കുക","settings.worktrees.error.title":"വർക്ക്ട്രീകൾ ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല","settings.worktrees.loading.body":"വർക്ക്ട്രീ വിശദാംശങ്ങൾ ലഭ്യമാക്കുന്നു.","settings.worktrees.loading.title":"വർക്ക്ട്രീകൾ ലോഡ് ചെയ്യുന്നു","settings.worktrees.repository.loading":"റിപ്പോസിറ്ററി മെറ്റാഡാറ്റ ലോഡ് ചെയ്യുന്നു…","settings.worktrees.repository.unknown":"അറിയപ്പെടാത്ത റിപ്പോസിറ്ററി","settings.worktrees.row.conversations":"സംഭാഷണങ്ങൾ","settings.worktrees.row.conversations.empty":"ഈ വർക്ക്ട്രീയിലേക്ക് സംഭാഷണങ്ങളൊന്നും ലിങ്ക് ചെയ്തിട്ടില്ല.","settings.worktrees.row.conversations.loading":"സംഭാഷണങ്ങൾ ലോഡ് ചെയ്യുന്നു…","settings.worktrees.row.delete":"ഇല്ലാതാക്കുക","settings.worktrees.row.title":"വർക്ക്ട്രീ","sidebarElectron.addWorkspaceRoot":"പുതിയ പ്രോജക്റ്റ് ചേർക്കുക","sidebarElectron.archiveThread":"ത്രെഡ് ആർകൈവ് ചെയ്യുക","sidebarElectron.archiveThreadError":"ത്രെഡ് ആർക്കൈവ് ചെയ്യാനായില്ല","sidebarElectron.collapseFolder":"ഫോൾഡർ ചുരുക്കുക","sidebarElectron.createStableWorktree":"സ്ഥിരമായ വർക്ക് ട്രീ നിർമ്മിക്കുക","sidebarElectron.createStableWorktree.dialog.ariaLabel":"പ്രോജക്‌റ്റിൻ്റെ പേര്","sidebarElectron.createStableWorktree.dialog.cancel":"റദ്ദാക്കുക","sidebarElectron.createStableWorktree.dialog.create":"സൃഷ്ടിക്കുക","sidebarElectron.createStableWorktree.dialog.placeholder":"പ്രോജക്‌റ്റിൻ്റെ പേര്","sidebarElectron.createStableWorktree.dialog.subtitle":"HEAD-ൽ നിന്ന് ഒരു പുതിയ git വർക്ക് ട്രീ നിർമ്മിക്കുക, അതൊരു പ്രോജക്റ്റായി ചേർക്കുക, നിങ്ങൾ നീക്കം ചെയ്യുന്നത് വരെ അത് നിലനിർത്തുക.","sidebarElectron.createStableWorktree.dialog.title":"വർക്ക് ട്രീ നിർമ്മിച്ച് ഒരു പ്രോജക്റ്റായി സേവ് ചെയ്യുക","sidebarElectron.createStableWorktree.error":"സ്ഥിരമായ വർക്ക് ട്രീ നിർമ്മിക്കുന്നതിൽ പരാജയപ്പെട്ടു: {message}","sidebarElectron.debugNavLink":"ഡീബഗ്","sidebarElectron.editWorkspaceRootOptionName":"പേര് എഡിറ്റ് ചെയ്യുക","sidebarElectron.expandFolder":"ഫോൾഡർ വിപുലീകരിക്കുക","sidebarElectron.groupByMenu.recency":"സമയക്രമമനുസരിച്ചുള്ള പട്ടിക","sidebarElectron.groupByMenu.title":"സംഘടിപ്പിക്കുക","sidebarElectron.groupByMenu.workspace":"പ്രോജക്റ്റ് പ്രകാരം","sidebarElectron.inboxRouteNavLink":"ഓട്ടോമേഷനുകൾ","sidebarElectron.markThreadUnread":"വായിക്കാത്തതായി അടയാളപ്പെടുത്തുക","sidebarElectron.missingWorkspaceRoot":"ഈ പ്രോജക്റ്റ് ഫോൾഡർ ഇല്ലാതാക്കുകയോ മാറ്റുകയോ ചെയ്തിരിക്കുന്നു","sidebarElectron.newThread":"പുതിയ ത്രെഡ്","sidebarElectron.newThreadInGroup":"{folder}-ൽ പുതിയൊരു ത്രെഡ് ആരംഭിക്കുക","sidebarElectron.noRecentThreads":"സമീപകാല ത്രെഡുകൾ ഒന്നുമില്ല","sidebarElectron.noTasks":"ത്രെഡുകളൊന്നുമില്ല","sidebarElectron.noTasks.start":"പുതിയ പ്രോജക്റ്റ് ചേർക്കുക","sidebarElectron.noTasksWithFilter":"ഫിൽട്ടറുകളുമായി പൊരുത്തപ്പെടുന്ന ത്രെഡുകളൊന്നുമില്ല","sidebarElectron.pinnedThreads":"പിൻ ചെയ്ത ത്രെഡുകൾ","sidebarElectron.recentNavLink":"ത്രെഡുകൾ","sidebarElectron.recentThreads":"സമീപകാല ത്രെഡുകൾ","sidebarElectron.removeWorkspaceRootOption":"നീക്കം ചെയ്യുക","sidebarElectron.renameThread":"ത്രെഡിന്‍റെ പേര് മാറ്റുക","sidebarElectron.renameThreadDialogAriaLabel":"ത്രെഡ് ടൈറ്റിൽ","sidebarElectron.renameThreadDialogCancel":"റദ്ദാക്കുക","sidebarElectron.renameThreadDialogPlaceholder":"ഒരു ശീർഷകം ചേർക്കുക…","sidebarElectron.renameThreadDialogSave":"സംരക്ഷിക്കുക","sidebarElectron.renameThreadDialogSubtitle":"ചെറുതും തിരിച്ചറിയാവുന്നതുമായി സൂക്ഷിക്കുക.","sidebarElectron.renameThreadDialogTitle":"ത്രെഡിന്‍റെ പേര് മാറ്റുക","sidebarElectron.renameThreadError":"ത്രെഡിന്‍റെ പേര് മാറ്റാനായില്ല","sidebarElectron.renameWorkspaceRootOptionLabel":"ഡിസ്പ്ലേ പേര്","sidebarElectron.showLess":"കുറച്ച് കാണിക്കുക","sidebarElectron.showMenu.all":"എല്ലാ ത്രെഡുകളും","sidebarElectron.showMenu.relevant":"പ്രസക്തമായത്","sidebarElectron.showMenu.relevantHint":"നിലവിലെ ബ്രാഞ്ച്, വർക്ക്‌ട്രീകൾ അല്ലെങ്കിൽ നിങ്ങളുടെ ശ്രദ്ധ ആവശ്യമുള്ള മറ്റ് ത്രെഡുകൾ എന്നിവയ്ക്കുള്ള അടുത്തകാലത്തെ സന്ദേശങ്ങൾ മാത്രം കാണിക്കുക","sidebarElectron.showMenu.title":"കാണിക്കുക","sidebarElectron.showMenu.tooltip":"ത്രെഡുകൾ ഫിൽട്ടർ ചെയ്യുക, ക്രമീകരിക്കുക, ഓർഗനൈസ് ചെയ്യുക","sidebarElectron.showMenu.trigger":"സൈഡ്‌ബാർ ത്രെഡുകൾ ഫിൽട്ടർ ചെയ്യുക","sidebarElectron.showMore":"കൂടുതൽ കാണിക്കുക","sidebarElectron.skillsAppsRouteNavLink":"സ്കിൽസും ആപ്പുകളും","sidebarElectron.skillsRouteNavLink":"സ്കില്ലുകൾ","sidebarElectron.sortMenu.created":"സൃഷ്ടിച്ചു","sidebarElectron.sortMenu.title":"ഇപ്രകാരം തരംതിരിക്കുക","sidebarElectron.sortMenu.updated":"അപ്ഡേറ്റ് ചെയ്തത്","sidebarElectron.taskNavigation":"ഓട്ടോമേഷൻ ഫോൾഡറുകൾ","sidebarElectron.tasksInFolder":"{folder}-ലെ ഓട്ടോമേഷനുകൾ","sidebarElectron.workspaceOptions":"{folder}-നായുള്ള പ്രോജക്റ്റ് ആക്ഷനുകൾ","sidebarElectron.worktreeGroupTooltip":"ഇതൊരു git വർക്ക്‌ട്രീ ആണ്","skills.appsPage.apps.enableToggle":"ആപ്പ് പ്രവർത്തനക്ഷമമാക്കുക","skills.appsPage.apps.installOnChatGpt":"ChatGPT-യിൽ ഇൻസ്റ്റാൾ ചെയ്യുക","skills.appsPage.apps.manageOnChatGpt":"ChatGPT-യിൽ മാനേജ് ചെയ്യുക","skills.appsPage.apps.noDescription":"വിവരണം ഇല്ല","skills.appsPage.createSkill":"പുതിയ സ്‌കിൽ","skills.appsPage.empty.apps":"ആപ്പുകളൊന്നും കണ്ടെത്തിയില്ല.","skills.appsPage.empty.discoverApps":"പുതിയ ആപ്പുകളൊന്നും കണ്ടെത്താനില്ല","skills.appsPage.empty.installedApps":"ഇൻസ്റ്റാൾ ചെയ്ത ആപ്പുകളൊന്നുമില്ല","skills.appsPage.empty.skills":"സ്കില്ലുകൾ ഒന്നും കണ്ടെത്തിയില്ല","skills.appsPage.heading":"സ്കിൽസും ആപ്പുകളും","skills.appsPage.search.all":"സ്കിൽസും ആപ്പുകളും തിരയുക","skills.appsPage.search.all.label":"സ്കിൽസും ആപ്പുകളും തിരയുക","skills.appsPage.search.apps":"ആപ്പുകൾ തിരയുക","skills.appsPage.search.apps.label":"ആപ്പുകൾ തിരയുക","skills.appsPage.search.skills":"സ്കില്ലുകൾ തിരയുക","skills.appsPage.search.skills.label":"സ്കില്ലുകൾ തിരയുക","skills.appsPage.section.apps":"ആപ്പുകൾ","skills.appsPage.section.apps.seeAll":"എല്ലാ {count} ആപ്പുകളും കാണുക","skills.appsPage.section.discover":"കണ്ടെത്തുക","skills.appsPage.section.installedApps":"ഇൻസ്റ്റാൾ ചെയ്തു","skills.appsPage.section.skills":"സ്‌കില്ലുകൾ","skills.appsPage.section.skills.seeAll":"എല്ലാ {count} സ്കിൽസും കാണുക","skills.appsPage.subheading":"Codex-ന് സൂപ്പർ പവറുകൾ നൽകുക. <link>കൂടുതലറിയുക</link>","skills.appsPage.tab.apps":"ആപ്പുകൾ","skills.appsPage.tab.recommended":"നിർദ്ദേശിക്കുന്നത്","skills.appsPage.tab.skills":"സ്‌കില്ലുകൾ","skills.card.contentsError":"സ്‌കിൽ ഉള്ളടക്കങ്ങൾ ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല.","skills.card.disable":"പ്രവർത്തനരഹിതമാക്കുക","skills.card.disableSuccess":"{skillName} സ്കിൽ പ്രവർത്തനരഹിതമാക്കി","skills.card.disabledBadge":"പ്രവർത്തനരഹിതമാക്കി","skills.card.enable":"പ്രവർത്തന സജ്ജമാക്കുക","skills.card.enableSuccess":"{skillName} സ്കിൽ പ്രവർത്തനക്ഷമമാക്കി","skills.card.loadingContents":"സ്‌കിൽ ഉള്ളടക്കങ്ങൾ ലോഡ് ചെയ്യുന്നു...","skills.card.more":"കൂടുതൽ നടപടികൾ","skills.card.open":"തുറക്കുക","skills.card.removeFailed":"സ്‌കിൽ അൺഇൻസ്റ്റാൾ ചെയ്യാനായില്ല","skills.card.removeSuccess":"{skillName} സ്കിൽ അൺഇൻസ്റ്റാൾ ചെയ്തു","skills.card.toggleEnabledError":"സ്‌കിൽ അപ്‌ഡേറ്റ് ചെയ്യാനായില്ല","skills.card.try":"ശ്രമിച്ചുനോക്കൂ","skills.card.trySkill":"സ്‌കിൽ പരീക്ഷിക്കുക","skills.card.uninstall":"അൺഇൻസ്റ്റാൾ ചെയ്യുക","skills.hero.dotLabel":"സ്ലൈഡ് {index} എന്നതിലേക്ക് പോകുക","skills.hero.next":"അടുത്ത ഫീച്ചർ ചെയ്ത സ്‌കിൽ","skills.hero.trySkill":"സ്‌കിൽ പരീക്ഷിക്കുക","skills.page.createSkill":"പുതിയ സ്‌കിൽ","skills.page.empty":"സ്കില്ലുകൾ ഒന്നും കണ്ടെത്തിയില്ല","skills.page.filteredEmpty":"നിങ്ങളുടെ ഫിൽട്ടറുകളുമായി പൊരുത്തപ്പെടുന്ന സ്കില്ലുകൾ ഒന്നുമില്ല","skills.page.filteredEmptyDescription":"നിങ്ങളുടെ തിരയൽ അല്ലെങ്കിൽ സ്കോപ്പ് ഫിൽട്ടറുകൾ ക്രമീകരിക്കാൻ ശ്രമിക്കുക","skills.page.heading":"സ്‌കില്ലുകൾ","skills.page.loading":"സ്കില്ലുകൾ ലോഡ് ചെയ്യുന്നു…","skills.page.refreshSkills":"റീഫ്രഷ് ചെയ്യുക","skills.page.refreshSkillsToUseNew":"പുതിയ സ്കില്ലുകൾ ഉപയോഗിക്കുന്നതിനായി റിഫ്രഷ് ചെയ്യുക","skills.page.search":"സ്കില്ലുകൾ തിരയുക","skills.page.search.label":"സ്കില്ലുകൾ തിരയുക","skills.page.subheading":"Codex-ന് സൂപ്പർ പവറുകൾ നൽകുക. <link>കൂടുതലറിയുക</link>","skills.preview.copyPrompt":"പ്രോംപ്റ്റ് പകർത്തുക","skills.preview.examplePrompt":"മാതൃകാ പ്രോംപ്റ്റ്","skills.recommended.error":"നിർദ്ദേശിക്കുന്ന സ്കില്ലുകൾ ലോഡ് ചെയ്യാനായില്ല","skills.recommended.install":"ഇൻസ്റ്റാൾ ചെയ്യുക","skills.recommended.installSkill":"സ്കിൽ ഇൻസ്റ്റാൾ ചെയ്യുക","skills.recommended.installSuccess":"{skillName} സ്കിൽ ഇൻസ്റ്റാൾ ചെയ്തു","skills.recommended.installed":"ഇൻസ്റ്റാൾ ചെയ്തു","skills.scope.admin":"അഡ്മിൻ","skills.scope.adminInstalled":"അഡ്മിൻ ഇൻസ്റ്റാൾ ചെയ്തു","skills.scope.builtIn":"സിസ്റ്റം","skills.scope.personal":"പേഴ്സണൽ","skills.scope.repo":"റിപ്പോ","skills.scope.system":"സിസ്റ്റം","skills.scope.team":"ടീം","skills.scope.user":"ഉപയോക്താവ്","skills.section.installed":"ഇൻസ്റ്റാൾ ചെയ്തു","skills.section.recommended":"നിർദ്ദേശിക്കുന്നത്","story.slidingToggle.existing":"നിലവിലുള്ളവ","story.slidingToggle.fromLocal":"ലോക്കലിൽ നിന്ന്","story.slidingToggle.new":"പുതിയത്","story.slidingToggle.toLocal":"ലോക്കലിലേക്ക്","terminal.close":"ടെർമിനൽ അടയ്ക്കുക","terminal.title":"ടെർമിനൽ","thinkingShimmer.default":"ചിന്തിക്കുന്നു","threadEnvIcon.cloudTooltip":"ഈ സംഭാഷണം Codex ക്ലൗഡിലാണ് പ്രവർത്തിക്കുന്നത്.","threadEnvIcon.localTooltip":"ഈ സംഭാഷണം ലോക്കലായി റൺ ചെയ്യുന്നു.","threadEnvIcon.worktreeTooltip":"ഈ സംഭാഷണം ഒരു ലോക്കൽ git വർക്ക്ട്രീയിലാണ് നടക്കുന്നത്.","threadHeader.archiveConfirmCancel":"റദ്ദാക്കുക","threadHeader.archiveConfirmConfirm":"ആർകൈവ്","threadHeader.archiveConfirmSubtitle":"നിങ്ങളുടെ ആർക്കൈവ് ചെയ്ത ത്രെഡുകളിൽ ഇത് പിന്നീട് കണ്ടെത്താം.","threadHeader.archiveConfirmTitle":"ത്രെഡ് ആർകൈവ് ചെയ്യുക","threadHeader.copyAppLink":"Deeplink പകർത്തുക","threadHeader.copySessionId":"സെഷൻ ID പകർത്തുക","threadHeader.copyWorkingDirectory":"വർക്കിംഗ് ഡയറക്‌ടറി പകർത്തുക","threadHeader.forkIntoLocal":"ലോക്കലിലേക്ക് മാറ്റുക","threadHeader.forkIntoWorktree":"പുതിയ വർക്ക് ട്രീയിലേക്ക് മാറ്റുക","threadHeader.forkPendingWorktreePrompt":"ഈ സംഭാഷണം ഒരു പുതിയ വർക്ക് ട്രീയിലേക്ക് മാറ്റുക.","threadHeader.forkPendingWorktreeTitle":"മാറ്റപ്പെട്ട സംഭാഷണം","threadHeader.forkThreadError":"ത്രെഡ് മാറ്റുന്നതിൽ പരാജയപ്പെട്ടു","threadHeader.forkThreadRequiresGitRepo":"പുതിയ വർക്ക് ട്രീയിലേക്ക് മാറ്റുന്നതിന് ഒരു git റിപ്പോസിറ്ററി ആവശ്യമാണ്","threadHeader.moreActions":"ത്രെഡ് നടപടികൾ","threadPage.newThread":"പുതിയ ത്രെഡ്","threadPage.runAction.changeEnvironment":"എൻവയോൺമെൻ്റ് മാറ്റുക","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} നടപടികൾ","threadPage.runAction.environmentSelector.label":"എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കുക","threadPage.runAction.label":"റൺ ചെയ്യുക","threadPage.runAction.missing.label":"ഒരു റൺ നടപടി സജ്ജമാക്കുക","threadPage.runAction.setup.commandLabel":"റണ്‍ ചെയ്യാനുള്ള കമാൻഡ്","threadPage.runAction.setup.description":"ഡിപൻഡൻസികൾ എങ്ങനെ ഇൻസ്റ്റാൾ ചെയ്യാമെന്നും നിങ്ങളുടെ ആപ്പ് എങ്ങനെ ആരംഭിക്കാമെന്നും Codex-നോട് പറയുക.","threadPage.runAction.setup.editMore":"എൻവയോൺമെൻ്റ് ക്രമീകരണങ്ങൾ","threadPage.runAction.setup.placeholder":"ഉദാ: npm install npm run","threadPage.runAction.setup.submit":"സേവ് ചെയ്ത് റൺ ചെയ്യുക","threadPage.runAction.setup.title":"റൺ ചെയ്യുക","threadPage.runAction.tooltip.withEnvironment":"{environmentName} നടപടികൾ","threadPage.toggleDiffPanel":"ഡിഫ് പാനൽ ടോഗിൾ ചെയ്യുക","threadPage.toggleTerminal":"ടെർമിനൽ മാറ്റുക","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ഫോൾഡർ തുറക്കുക","toolSummaryForCmd.exploredFiles":"<verb>ലിസ്റ്റ് ചെയ്ത</verb> ഫയലുകൾ","toolSummaryForCmd.exploredFilesInPath":"{path}-ൽ <verb>ലിസ്റ്റ് ചെയ്ത</verb> ഫയലുകൾ","toolSummaryForCmd.exploringFiles":"ഫയലുകൾ <verb>ലിസ്റ്റ് ചെയ്യുന്നു</verb>","toolSummaryForCmd.exploringFilesInPath":"{path}-ൽ ഫയലുകൾ <verb>ലിസ്റ്റ് ചെയ്യുന്നു</verb>","toolSummaryForCmd.finishedBackgroundTerminal":"ബാക്ക്ഗ്രൗണ്ട് ടെർമിനൽ പൂർത്തിയായി","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"ബാക്ക്ഗ്രൗണ്ട് ടെർമിനൽ {command}-ഓടെ പൂർത്തിയായി","toolSummaryForCmd.ranGenericCommand":"<status>കമാൻഡ് പ്രവർത്തിപ്പിച്ചു</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"{command}{timer} <status>റൺ ചെയ്തു</status>","toolSummaryForCmd.read":"{path} <verb>റീഡ് ചെയ്യുക</verb>","toolSummaryForCmd.runningGenericCommand":"<status>കമാൻഡ് പ്രവർത്തിപ്പിക്കുന്നു</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}-ന്","toolSummaryForCmd.searchedFor":"{query} എന്നതിനായി <verb>തിരഞ്ഞു</verb>","toolSummaryForCmd.searchedForFiles":"ഫയലുകൾക്കായി <verb>തിരഞ്ഞു</verb>","toolSummaryForCmd.searchedForInPath":"{path}-ൽ {query} എന്നതിനായി <verb>തിരഞ്ഞു</verb>","toolSummaryForCmd.searchingFor":"{query} എന്നതിനായി <verb>തിരയുന്നു</verb>","toolSummaryForCmd.searchingForFiles":"ഫയലുകൾക്കായി <verb>തിരയുന്നു</verb>","toolSummaryForCmd.searchingForInPath":"{path}-ൽ {query} എന്നതിനായി <verb>തിരയുന്നു</verb>","toolSummaryForCmd.startedBackgroundTerminal":"ബാക്ക്ഗ്രൗണ്ട് ടെർമിനൽ ആരംഭിച്ചു","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"{command}-ഓടെ ബാക്ക്ഗ്രൗണ്ട് ടെർമിനൽ ആരംഭിച്ചു.","traceRecording.details.noteLabel":"ഇത് സംഭവിച്ചപ്പോൾ നിങ്ങൾ എന്ത് ചെയ്യുകയായിരുന്നു? (ഓപ്ഷണൽ)","traceRecording.details.notePlaceholder":"വലിയൊരു ത്രെഡിലൂടെ നീങ്ങുകയും തുടർന്ന് ടാബുകൾ ആവർത്തിച്ച് മാറുകയും ചെയ്തു…","traceRecording.details.submit":"ട്രേസ് അയക്കുക","traceRecording.details.subtitle":"പെർഫോമൻസ് പ്രശ്നങ്ങൾ കണ്ടെത്താൻ സഹായിക്കുന്നതിന് ഈ പ്രൊഫൈൽ ട്രേസ് അയക്കാവുന്നതാണ്.","traceRecording.details.title":"പ്രൊഫൈൽ ട്രേസ് അയക്കണോ?","traceRecording.progress.subtitle":"ഇത് പൂർത്തിയാകുന്നത് വരെ Codex തുറന്നുതന്നെ വെക്കുക.","traceRecording.saving.title":"ട്രേസ് സേവ് ചെയ്യുന്നു…","traceRecording.startDetails.cancel":"റദ്ദാക്കുക","traceRecording.startDetails.submit":"ശരി, റെക്കോർഡിംഗ് ആരംഭിക്കുക","traceRecording.startDetails.subtitle":"ശരി ക്ലിക്ക് ചെയ്ത ശേഷം, പെർഫോമൻസ് പ്രശ്നം വീണ്ടും ആവർത്തിക്കുക, തുടർന്ന് റെക്കോർഡിംഗ് നിർത്താനും ട്രേസ് പരിശോധിക്കാനും ചുവന്ന ഇൻഡിക്കേറ്ററിൽ ക്ലിക്ക് ചെയ്യുക.","traceRecording.startDetails.title":"ട്രേസ് റെക്കോർഡിംഗ് എങ്ങനെ പ്രവർത്തിക്കുന്നു","traceRecording.stopButton.ariaLabel":"ട്രേസ് റെക്കോർഡിംഗ് നിർത്തുക","traceRecording.upload.successToast":"പ്രൊഫൈൽ ട്രേസ് അയച്ചു","traceRecording.uploading.title":"ട്രേസ് അപ്‌ലോഡ് ചെയ്യുന്നു…","wham.diff.addComment":"അഭിപ്രായം ചേർക്കുക","wham.diff.binaryFile":"ബൈനറി ഫയൽ കാണിച്ചിട്ടില്ല","wham.diff.noContent":"ഉള്ളടക്കമില്ല","wham.fileTag.deleted":"ഇല്ലാതാക്കി","wham.fileTag.new":"പുതിയത്","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}mo","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}w","wham.formattedRelativeDateTime.compactYearsAgo":"{value}y","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"നിങ്ങളുടെ ടാസ്ക്കിൽ പ്രവർത്തിച്ചുകൊണ്ടിരിക്കുന്നു","wham.whamProposedTask.title":"നിർദ്ദേശിച്ച ടാസ്ക്","wham.whamProposedTask.useSuggestion":"നിർദ്ദേശം ഉപയോഗിക്കുക","workspaceRootDialog.addError":"പ്രോജക്റ്റ് ചേർക്കാനായില്ല","workspaceRootDialog.cancel":"റദ്ദാക്കുക","workspaceRootDialog.confirmAdd":"പ്രോജക്റ്റ് ചേർക്കുക","workspaceRootDialog.confirmPick":"പ്രോജക്റ്റ് ഉപയോഗിക്കുക","workspaceRootDialog.description":"ഒരു പ്രോജക്റ്റായി ഉപയോഗിക്കുന്നതിന് {host}-ലെ പാത്ത് നൽകുക","workspaceRootDialog.pathLabel":"പ്രോജക്റ്റ് പാത്ത്","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"പ്രോജക്റ്റ് പാത്ത് ചേർക്കുക","workspaceRootDialog.title.pick":"പ്രോജക്റ്റ് പാത്ത് തിരഞ്ഞെടുക്കുക","worktreeInitV2.cancel":"റദ്ദാക്കുക","worktreeInitV2.notification.failedTitle":"വർക്ക്ട്രീ സെറ്റപ്പ് പരാജയപ്പെട്ടു","worktreeInitV2.output.empty":"ഔട്ട്‌പുട്ടിനായി കാത്തിരിക്കുന്നു…","worktreeInitV2.status.error":"വർക്ക്ട്രീ സെറ്റപ്പ് പരാജയപ്പെട്ടു.","worktreeInitV2.status.running":"ഒരു വർക്ക്ട്രീ സൃഷ്ടിച്ച് സെറ്റപ്പ് പ്രവർത്തിപ്പിക്കുന്നു.","worktreeInitV2.status.runningFork":"ഈ സംഭാഷണം മാറ്റുന്നതിനായി ഒരു വർക്ക് ട്രീ സൃഷ്ടിക്കുന്നു.","worktreeInitV2.status.success":"വർക്ക്ട്രീ തയ്യാറായി.","worktreeInitV2.title":"വർക്ക്ട്രീ സൃഷ്ടിക്കുന്നു","worktreeInitV2.workLocallyInstead":"ഇതിന് പകരം ലോക്കലിൽ ജോലി ചെയ്യുക","worktreeRestoreBanner.body":"ഡിസ്കിലെ സ്ഥലം ലാഭിക്കുന്നതിനായി ഈ ത്രെഡിന്‍റെ വർക്ക് ട്രീ നീക്കം ചെയ്തിരിക്കുന്നു","worktreeRestoreBanner.missing.body":"ഈ ത്രെഡിന്‍റെ വർക്കിംഗ് ഡയറക്ടറി ഇപ്പോൾ നിലവിലില്ല","worktreeRestoreBanner.missing.title":"നിലവിലെ വർക്കിംഗ് ഡയറക്ടറി കാണാനില്ല","worktreeRestoreBanner.restore.error":"വർക്ക്‌ട്രീ പുനഃസ്ഥാപിക്കുന്നതിൽ പരാജയപ്പെട്ടു: {message}","worktreeRestoreBanner.restore.success":"വർക്ക്‌ട്രീ പുനഃസ്ഥാപിച്ചു","worktreeRestoreBanner.restoreCta":"വർക്ക്‌ട്രീ പുനഃസ്ഥാപിക്കുക","worktreeRestoreBanner.title":"വർക്ക്‌ട്രീ ക്ലീൻ അപ്പ് ചെയ്തു"};export{e as default};
+const e={"CopyButton.copyTooltip":"പകർത്തുക","app.sidebar.hide":"സൈഡ്ബാർ മറയ്ക്കുക","app.sidebar.show":"സൈഡ്‌ബാർ കാണിക്കുക","app.sidebar.tooltip":"സൈഡ്‌ബാർ ടോഗിൾ ചെയ്യുക","appHeader.installUpdate":"അപ്‌ഡേറ്റ് ചെയ്യുക","appSunset.body":"ആപ്പിന്റെ ഈ പതിപ്പ് ഇനി പിന്തുണയ്ക്കില്ല. ഏറ്റവും പുതിയ പതിപ്പ് <here>ഇവിടെ</here> ഡൗൺലോഡ് ചെയ്യുക.","appSunset.title":"അപ്‌ഡേറ്റ് ചെയ്യണം","automation.updateDirective.create":"സൃഷ്ടിക്കുക","automation.updateDirective.open":"തുറക്കുക","automation.updateDirective.untitled":"പേരില്ലാത്ത ഓട്ടോമേഷൻ","automation.updateDirective.update":"അപ്‌ഡേറ്റ് ചെയ്യുക","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# ശ്രമം} other {# ശ്രമങ്ങൾ}}","cloudTaskRow.archiveError":"ടാസ്‌ക് ആർക്കൈവ് ചെയ്യാനായില്ല","code.diff.requestChange":"മാറ്റം അഭ്യർത്ഥിക്കുക","code.diffComment.cancel":"റദ്ദാക്കുക","code.diffComment.comment":"അഭിപ്രായം","code.diffComment.delete":"ഇല്ലാതാക്കുക","code.diffComment.save":"സംരക്ഷിക്കുക","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"കണ്ടെത്തലുകളൊന്നും റിപ്പോർട്ട് ചെയ്തിട്ടില്ല.","codex.alert.closeAriaLabel":"അടയ്ക്കുക","codex.appUpsellBanner.cbpApi.message":"Codex ആപ്പ് ഉപയോഗിച്ച് വേഗത്തിൽ നിർമ്മാണം പൂർത്തിയാക്കൂ. ഇപ്പോൾ ഡൗൺലോഡ് ചെയ്യുക അല്ലെങ്കിൽ {learnMoreLink}.","codex.appUpsellBanner.download":"ഡൗൺലോഡ്","codex.appUpsellBanner.freeGo.message":"മാർച്ച് 2 വരെ നിങ്ങളുടെ പ്ലാനിൽ Codex ഉൾപ്പെടുത്തിയിട്ടുണ്ട്. വേഗത്തിൽ നിർമ്മാണം പൂർത്തിയാക്കാൻ Codex ആപ്പ് പരീക്ഷിച്ചു നോക്കൂ.","codex.appUpsellBanner.later":"പിന്നീട്","codex.appUpsellBanner.learnMoreLowercase":"കൂടുതലറിയുക","codex.appUpsellBanner.new":"പുതിയത്","codex.appUpsellBanner.proPlusBusiness.message":"ഏപ്രിൽ 2 വരെ 2 മടങ്ങ് അധികം റേറ്റ് ലിമിറ്റുകളോടെ Codex ആപ്പ് ഉപയോഗിക്കാം. ഇപ്പോൾ തന്നെ ഡൗൺലോഡ് ചെയ്യൂ അല്ലെങ്കിൽ {learnMoreLink}.","codex.appUpsellBanner.title":"Codex ആപ്പ്","codex.applyDropdown.header.changes":"മാറ്റങ്ങൾ","codex.applyDropdown.header.fileCount":"{count, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}","codex.applyDropdown.header.rows":"റോകൾ","codex.applyDropdown.header.title":"മാറ്റങ്ങൾ പ്രയോഗിക്കുക","codex.applyDropdown.header.workspace":"പ്രോജക്റ്റ്","codex.applyDropdown.results.conflicted":"{count, plural, one {1 ഫയലിൽ വൈരുദ്ധ്യമുണ്ട്:} other {{count} ഫയലുകളിൽ വൈരുദ്ധ്യമുണ്ട്:}}","codex.applyDropdown.results.empty":"ഫയലുകളൊന്നും കോപ്പി ചെയ്തിട്ടില്ല","codex.applyDropdown.results.skipped":"{count, plural, one {1 ഫയൽ ഒഴിവാക്കി:} other {{count} ഫയലുകൾ ഒഴിവാക്കി:}}","codex.applyOrRevertBanner.apply":"പ്രയോഗിക്കുക","codex.applyOrRevertBanner.applyMessage":"മാറ്റങ്ങൾ പ്രയോഗിച്ച് സ്വന്തമായി തുടരണോ?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ഈ ടാസ്‌ക് {environment}-ൽ ചെയ്‌തതിനാൽ ഇത് പൂർണ്ണമായും ബാധകമാകണമെന്നില്ല.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"മാറ്റങ്ങൾ {environment}-ൽ വരുത്തിയതിനാൽ മാറ്റങ്ങൾ പൂർണ്ണമായും ബാധകമാകണമെന്നില്ല.","codex.applyOrRevertBanner.reapply":"വീണ്ടും പ്രയോഗിക്കുക","codex.applyOrRevertBanner.revert":"തിരിച്ചയക്കുക","codex.applyOrRevertBanner.revertMessage":"പ്രയോഗിച്ച മാറ്റങ്ങൾ പഴയപടിയാക്കണോ?","codex.applyResultsDialog.applied":"കൃത്യമായി പ്രയോഗിച്ചു ({count})","codex.applyResultsDialog.close":"അടയ്ക്കുക","codex.applyResultsDialog.conflicted":"വൈരുദ്ധ്യമുള്ളത് ({count})","codex.applyResultsDialog.noDetails":"ഫയൽ വിശദാംശങ്ങളൊന്നും ലഭ്യമല്ല.","codex.applyResultsDialog.skipped":"ഒഴിവാക്കിയത് ({count})","codex.applyResultsDialog.title":"ഫലങ്ങൾ പ്രയോഗിക്കുക","codex.archiveInfo":"{dataControlsLink}-ലെ ആർക്കൈവ് ചെയ്‌ത ചാറ്റുകൾ കാണുക.","codex.archiveInfo.dataControlsLink":"ഡാറ്റ നിയന്ത്രണങ്ങൾ","codex.archiveInfo.electron":"{settingsLink}-ലെ ആർക്കൈവ് ചെയ്‌ത ചാറ്റുകൾ കാണുക","codex.archiveInfo.extension":"നിങ്ങളുടെ .codex ഫോൾഡറിൽ ആർക്കൈവ് ചെയ്‌ത ചാറ്റുകൾ കാണുക.","codex.archiveInfo.settingsLink":"ക്രമീകരണങ്ങൾ","codex.banner.content.description":"സമാന്തരമായി ടാസ്‌ക്കുകൾ പ്രവർത്തിപ്പിക്കുക, എവിടെയും പുരോഗതി ട്രാക്ക് ചെയ്യുക, AI ഉപയോഗിച്ച് PR-കൾ അവലോകനം ചെയ്യുക.","codex.banner.content.headline":"Codex ഇവയെല്ലാം ചെയ്യുന്നു.","codex.cloudTaskRow.archiveTask":"ടാസ്ക് ആർകൈവ് ചെയ്യുക","codex.cloudTaskRow.confirmArchiveTask":"സ്ഥിരീകരിക്കുക","codex.command.feedback":"ഫീഡ്ബാക്ക്","codex.command.findInThread":"കണ്ടെത്തുക","codex.command.forceReloadSkills":"സ്കില്ലുകൾ നിർബന്ധിതമായി വീണ്ടും ലോഡ് ചെയ്യുക","codex.command.logOut":"ലോഗ് ഔട്ട്","codex.command.manageTasks":"ടാസ്കുകൾ മാനേജ് ചെയ്യുക","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"തിരികെ പോകുക","codex.command.navigateForward":"മുന്നോട്ട് പോവുക","codex.command.newThread":"പുതിയ ത്രെഡ്","codex.command.nextThread":"അടുത്ത ത്രെഡ്","codex.command.openFolder":"ഫോൾഡർ തുറക്കുക","codex.command.openSkills":"സ്കില്ലുകളിലേക്ക് പോകുക","codex.command.openThreadOverlay":"ത്രെഡ് പോപ്പ് ഔട്ട് ചെയ്യുക","codex.command.personalitySettings":"വ്യക്തിത്വം","codex.command.previousThread":"മുമ്പത്തെ ത്രെഡ്","codex.command.settings":"ക്രമീകരണങ്ങൾ","codex.command.toggleDiffPanel":"ഡിഫ് പാനൽ ടോഗിൾ ചെയ്യുക","codex.command.toggleSidebar":"സൈഡ്‌ബാർ ടോഗിൾ ചെയ്യുക","codex.command.toggleTerminal":"ടെർമിനൽ മാറ്റുക","codex.commandGroup.app":"ആപ്പ്","codex.commandGroup.configure":"കോൺഫിഗർ ചെയ്യുക","codex.commandGroup.navigation":"നാവിഗേഷൻ","codex.commandGroup.panels":"പാനലുകൾ","codex.commandGroup.skills":"സ്‌കില്ലുകൾ","codex.commandGroup.thread":"ത്രെഡ്","codex.commandGroup.workspace":"പ്രോജക്റ്റ്","codex.commandMenu.noResults":"സാമ്യമുള്ളവയില്ല","codex.commandMenu.searchPlaceholder":"കമാൻഡുകൾ തിരയുക","codex.commandMenu.suggestedGroup":"നിർദ്ദേശിച്ചത്","codex.commandMenu.switchWorkspace":"പ്രോജക്റ്റ് മാറ്റുക","codex.commandMenu.title":"കമാൻഡ് മെനു","codex.common.retry":"വീണ്ടും ശ്രമിക്കുക","codex.composer.searchBranches":"ബ്രാഞ്ചുകൾ തിരയുക","codex.dialog.basic.body":"റാഡിക്സ് ഡയലോഗിനെ ചുറ്റിപ്പറ്റിയുള്ള ഞങ്ങളുടെ റാപ്പർ ഉപയോഗിക്കുന്ന ഒരു ലളിതമായ മോഡൽ ഡയലോഗാണിത്.","codex.dialog.basic.cancel":"റദ്ദാക്കുക","codex.dialog.basic.confirm":"സ്ഥിരീകരിക്കുക","codex.dialog.basic.open":"ഡയലോഗ് തുറക്കുക","codex.dialog.basic.title":"സാമ്പിൾ ഡയലോഗ്","codex.dialog.long.close":"അടയ്ക്കുക","codex.dialog.long.line":"ഡയലോഗിനുള്ളിൽ ദൈർഘ്യമേറിയ ഉള്ളടക്കം പ്രദർശിപ്പിക്കുന്നതിന് സ്ക്രോൾ ചെയ്യാവുന്ന വരി {index}.","codex.dialog.long.open":"ലോങ്ങ് ഡയലോഗ് തുറക്കുക","codex.dialog.long.title":"ലോംഗ് കണ്ടന്‍റ് ഡയലോഗ്","codex.dialog.unstyled.body":"ഡയലോഗ് കണ്ടന്റ് സ്റ്റൈലിംഗ് എങ്ങനെ പൂർണ്ണമായും നിയന്ത്രിക്കാം എന്ന് ഈ സ്റ്റോറി കാണിച്ചുതരുന്നു.","codex.dialog.unstyled.open":"അൺസ്റ്റൈൽഡ് ഡയലോഗ് തുറക്കുക","codex.dialog.unstyled.title":"അൺസ്റ്റൈൽഡ് കണ്ടന്റ്","codex.diff.openInEditorPrompt.openButton":"എഡിറ്ററിൽ തുറക്കുക","codex.diff.openInEditorPrompt.singleLine":"ഈ ഫയൽ ഇവിടെ കാണിക്കാൻ കഴിയാത്തവിധം വലുതാണ്.","codex.diffView.failedToDecodeBase64Diff":"ബേസ്64 വ്യത്യാസം ഡീകോഡ് ചെയ്യാനായില്ല","codex.diffView.filesChanged":"{fileCount, plural, one {# ഫയലിൽ മാറ്റങ്ങൾ വരുത്തി} other {# ഫയലുകളിൽ മാറ്റങ്ങൾ വരുത്തി}}","codex.diffView.imagePreviewAlt":"ചിത്രത്തിന്‍റെ പ്രിവ്യൂ","codex.diffView.imagePreviewEmpty":"ചിത്രങ്ങൾ ഇല്ല","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"വ്യത്യാസങ്ങളുടെ ഡാറ്റ ഇല്ല","codex.diffView.pdfPreview.nextPage":"അടുത്ത പേജ്","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"മുമ്പത്തെ പേജ്","codex.diffView.pdfPreviewEmpty":"PDF പ്രിവ്യൂ ലഭ്യമല്ല","codex.diffView.pdfPreviewError":"PDF പ്രിവ്യൂ കാണിക്കാൻ സാധിക്കുന്നില്ല","codex.diffView.richPreviewDisable":"റിച്ച് പ്രിവ്യൂ പ്രവർത്തനരഹിതമാക്കുക","codex.diffView.richPreviewEnable":"റിച്ച് പ്രിവ്യൂ പ്രവർത്തനക്ഷമമാക്കുക","codex.diffView.richPreviewLoading":"പ്രിവ്യൂ ലോഡ് ചെയ്യുന്നു…","codex.diffView.richPreviewToggle":"റിച്ച് പ്രിവ്യൂ ടോഗിൾ ചെയ്യുക","codex.diffView.switchToUnified":"യൂണിഫൈഡ് വ്യത്യാസത്തിലേക്ക് മാറുക","codex.environmentSelector.noEnvironment":"എൻവയോൺമെൻ്റ് ഇല്ല","codex.environments.environmentSettings":"എൻവയോൺമെൻ്റ് ക്രമീകരണങ്ങൾ","codex.environments.learnMore":"കൂടുതലറിയുക","codex.environments.listError":"എൻവയോൺമെന്‍റുകൾ ലോഡ് ചെയ്യാനായില്ല.","codex.environments.noEnvironmentsFound":"എൻവയോൺമെന്‍റുകളൊന്നും കണ്ടെത്തിയില്ല","codex.environments.searchError":"എൻവയോൺമെന്‍റുകൾ തിരയാനായില്ല.","codex.errorBoundary.genericError":"ക്ഷമിക്കണം, ഒരു പിശക് സംഭവിച്ചു","codex.errorBoundary.goHome":"വീണ്ടും ശ്രമിക്കുക","codex.file.patch.missing":"ഈ ഫയലിനായി പാച്ച് നിർമ്മിക്കാൻ കഴിയുന്നില്ല.","codex.gallery.automations.cwdLabel":"പ്രോജക്റ്റുകൾ","codex.gallery.automations.nameLabel":"പേര്","codex.gallery.automations.namePlaceholder":"ഒരു ജോലി സംഗ്രഹിക്കുക","codex.gallery.automations.promptLabel":"പ്രോംപ്റ്റ്","codex.gallery.automations.promptPlaceholder":"Codex എന്താണ് ചെയ്യേണ്ടതെന്ന് വിശദീകരിക്കുക","codex.gallery.dialogs.automation.label":"ഓട്ടോമേഷൻ ഡയലോഗ്","codex.gallery.dialogs.basic.body":"ലളിതമായ സ്ഥിരീകരണങ്ങൾക്കോ ചെറിയ ഫോമുകൾക്കോ വേണ്ടി ഈ ലേഔട്ട് ഉപയോഗിക്കുക.","codex.gallery.dialogs.basic.cancel":"റദ്ദാക്കുക","codex.gallery.dialogs.basic.confirm":"സ്ഥിരീകരിക്കുക","codex.gallery.dialogs.basic.label":"ബേസിക് ഡയലോഗ്","codex.gallery.dialogs.basic.title":"സാമ്പിൾ ഡയലോഗ്","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"പ്രശ്നം വിവരിക്കുക","codex.gallery.dialogs.feedbackSubmission.bad":"മോശം റിസൾട്ട്","codex.gallery.dialogs.feedbackSubmission.bug":"ബഗ്","codex.gallery.dialogs.feedbackSubmission.good":"നല്ല റിസൾട്ട്","codex.gallery.dialogs.feedbackSubmission.includeLogs":"നിലവിലെ Codex സെഷൻ ലോഗുകൾ ഉൾപ്പെടുത്തുക","codex.gallery.dialogs.feedbackSubmission.label":"ഫീഡ്‌ബാക്ക് സമർപ്പണം","codex.gallery.dialogs.feedbackSubmission.other":"മറ്റുള്ളവ","codex.gallery.dialogs.feedbackSubmission.placeholder":"പ്രശ്നം ഇവിടെ വിവരിക്കുക","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"സുരക്ഷാ പരിശോധന","codex.gallery.dialogs.feedbackSubmission.submit":"സമർപ്പിക്കുക","codex.gallery.dialogs.feedbackSubmission.title":"ഫീഡ്ബാക്ക്","codex.gallery.dialogs.feedbackSuccess.body":"ഫീഡ്‌ബാക്ക് അപ്‌ലോഡ് ചെയ്തു. പ്രശ്നം തുടരുകയാണെങ്കിൽ, ഒരു GitHub ഇഷ്യൂ തുറക്കുക അല്ലെങ്കിൽ നിലവിലുള്ള ഒരു ഇഷ്യൂവിൽ ത്രെഡ് ഐഡി പരാമർശിക്കുക:","codex.gallery.dialogs.feedbackSuccess.dismiss":"ഒഴിവാക്കുക","codex.gallery.dialogs.feedbackSuccess.label":"ഫീഡ്‌ബാക്ക് വിജയകരം","codex.gallery.dialogs.feedbackSuccess.title":"ഫീഡ്‌ബാക്ക് അപ്‌ലോഡ് ചെയ്‌തു","codex.gallery.dialogs.gitApplyResults.applied":"കൃത്യമായി പ്രയോഗിച്ചു (2)","codex.gallery.dialogs.gitApplyResults.close":"അടയ്ക്കുക","codex.gallery.dialogs.gitApplyResults.conflicted":"വൈരുദ്ധ്യമുള്ളത് (1)","codex.gallery.dialogs.gitApplyResults.label":"ഫലങ്ങൾ പ്രയോഗിക്കുക","codex.gallery.dialogs.gitApplyResults.title":"ഫലങ്ങൾ പ്രയോഗിക്കുക","codex.gallery.dialogs.gitPushError.body":"ഏറ്റവും പുതിയ മാറ്റങ്ങൾ പിൻ ചെയ്യുക, അല്ലെങ്കിൽ റിമോട്ട് ഹിസ്റ്ററി മാറ്റിയെഴുതുന്നത് സുരക്ഷിതമാണെന്ന് ഉറപ്പാണെങ്കിൽ ഫോഴ്‌സ് പുഷ് ചെയ്യുക.","codex.gallery.dialogs.gitPushError.cancel":"റദ്ദാക്കുക","codex.gallery.dialogs.gitPushError.force":"നിർബന്ധിച്ചുള്ള പുഷ്","codex.gallery.dialogs.gitPushError.label":"പുഷ് എറർ","codex.gallery.dialogs.gitPushError.subtitle":"നിങ്ങളുടെ ബ്രാഞ്ച് origin/main-നേക്കാൾ പിന്നിലാണ്.","codex.gallery.dialogs.gitPushError.title":"മാറ്റങ്ങൾ വരുത്തുന്നതിൽ പരാജയപ്പെട്ടു","codex.gallery.dialogs.gitRevert.cancel":"റദ്ദാക്കുക","codex.gallery.dialogs.gitRevert.confirm":"തിരിച്ചയക്കുക","codex.gallery.dialogs.gitRevert.label":"മാറ്റങ്ങൾ പഴയപടിയാക്കുക","codex.gallery.dialogs.gitRevert.skip":"വീണ്ടും ചോദിക്കരുത്","codex.gallery.dialogs.gitRevert.subtitle":"ഈ പ്രവർത്തനം ഈ മാറ്റങ്ങളെല്ലാം ഇല്ലാതാക്കുന്നു.","codex.gallery.dialogs.gitRevert.title":"മാറ്റങ്ങൾ പഴയപടിയാക്കണോ?","codex.gallery.dialogs.longForm.label":"ലോംഗ്-ഫോം ഡയലോഗ്","codex.gallery.dialogs.proseModal.body":"ദൈർഘ്യമേറിയ നിർദ്ദേശങ്ങൾക്കോ, ഓൺബോർഡിംഗിനോ, അല്ലെങ്കിൽ കൂടുതൽ വിവരങ്ങളടങ്ങിയ ബ്ലോക്കുകൾക്കോ വേണ്ടിയാണ് ഈ മോഡൽ സ്റ്റൈൽ ഉപയോഗിക്കുന്നത്.","codex.gallery.dialogs.proseModal.close":"അടയ്ക്കുക","codex.gallery.dialogs.proseModal.subtitle":"ദൈർഘ്യമേറിയ മാർഗ്ഗനിർദ്ദേശങ്ങളോ ഡോക്യുമെന്റേഷനുകളോ ഇവിടെ പങ്കുവെക്കുക.","codex.gallery.dialogs.proseModal.title":"പ്രോസ് മോഡൽ","codex.gallery.dialogs.submitBlocked.label":"സമർപ്പിക്കുന്നത് തടഞ്ഞിരിക്കുന്നു","codex.gallery.dialogs.submitBlocked.message":"പ്രോജക്റ്റ് ലഭ്യമല്ലാത്തതിനാൽ നിങ്ങളുടെ സന്ദേശം അയക്കാൻ കഴിഞ്ഞില്ല.","codex.gallery.dialogs.submitBlocked.ok":"ഓക്കേ","codex.gallery.dialogs.submitBlocked.title":"സന്ദേശം അയയ്ക്കാൻ കഴിയുന്നില്ല","codex.gallery.dialogs.title":"ഡയലോഗുകൾ","codex.gallery.dropdown.filterPlaceholder":"ഇനങ്ങൾ തരംതിരിക്കുക","codex.gallery.dropdowns.actionRow":"ആക്ഷൻ റോകൾ","codex.gallery.dropdowns.actionRow.disabled":"പ്രവർത്തനരഹിതമാക്കിയ ആക്ഷൻ","codex.gallery.dropdowns.actionRow.primary":"പ്രധാന ആക്ഷൻ","codex.gallery.dropdowns.actionRow.secondary":"സെക്കൻഡറി ആക്ഷൻ","codex.gallery.dropdowns.actionRow.trigger":"നടപടികൾ കാണിക്കുക","codex.gallery.dropdowns.basic":"ബേസിക്ക് ഡ്രോപ്പ്‌ഡൗൺ","codex.gallery.dropdowns.basic.newFile":"പുതിയ ഫയൽ","codex.gallery.dropdowns.basic.newFolder":"പുതിയ ഫോൾഡർ","codex.gallery.dropdowns.basic.openSettings":"ക്രമീകരണങ്ങൾ തുറക്കുക","codex.gallery.dropdowns.basic.title":"വേഗത്തിലുള്ള നടപടികൾ","codex.gallery.dropdowns.basic.trigger":"മെനു തുറക്കുക","codex.gallery.dropdowns.basic.upload":"അപ്‌ലോഡ് ചെയ്യുക","codex.gallery.dropdowns.panel":"പാനൽ പ്രതലം","codex.gallery.dropdowns.panel.apply":"പ്രയോഗിക്കുക","codex.gallery.dropdowns.panel.body":"മാറ്റങ്ങൾ പരിശോധിച്ച ശേഷം നിങ്ങളുടെ പ്രോജക്റ്റിൽ നടപ്പിലാക്കുക.","codex.gallery.dropdowns.panel.preview":"പ്രിവ്യൂ","codex.gallery.dropdowns.panel.title":"മാറ്റങ്ങൾ പ്രയോഗിക്കുക","codex.gallery.dropdowns.panel.trigger":"പാനൽ തുറക്കുക","codex.gallery.dropdowns.search":"സെർച്ചബിൾ ഡ്രോപ്പ്‌ഡൗൺ","codex.gallery.dropdowns.search.first":"ആൽഫ ചാനൽ","codex.gallery.dropdowns.search.second":"ബീറ്റ ബ്രാഞ്ച്","codex.gallery.dropdowns.search.third":"റിലീസ് കാൻഡിഡേറ്റ്","codex.gallery.dropdowns.search.trigger":"ഇനങ്ങൾ തരംതിരിക്കുക","codex.gallery.dropdowns.submenu":"സബ് മെനുവോടു കൂടിയ ഡ്രോപ്പ്‌ഡൗൺ","codex.gallery.dropdowns.submenu.optionA":"പ്രോജക്റ്റ് ആൽഫ","codex.gallery.dropdowns.submenu.optionB":"പ്രോജക്റ്റ് ബീറ്റ","codex.gallery.dropdowns.submenu.optionC":"പ്രോജക്റ്റ് ഗാമ","codex.gallery.dropdowns.submenu.primary":"ഉടമസ്ഥനെ ഏൽപ്പിക്കുക","codex.gallery.dropdowns.submenu.secondary":"ഇതിലേക്ക് നീക്കുക","codex.gallery.dropdowns.submenu.tertiary":"ആർകൈവ്","codex.gallery.dropdowns.submenu.trigger":"നടപടി തിരഞ്ഞെടുക്കുക","codex.gallery.dropdowns.title":"ഡ്രോപ്പ്‌ഡൗണുകൾ","codex.gallery.inbox.automations.close":"അടയ്ക്കുക","codex.gallery.inbox.automations.popover.cardTitle":"ഓട്ടോമേഷനുകൾ മാനേജ് ചെയ്യുക","codex.gallery.inbox.automations.popover.dialogTitle":"ഓട്ടോമേഷനുകൾ മാനേജ് ചെയ്യുക","codex.header.settingsTooltip":"ക്രമീകരണങ്ങൾ","codex.hunk.patch.error":"സ്റ്റേജ് ചെയ്യാനായില്ല","codex.hunk.patch.missing":"ഈ ഹങ്കിനായി പാച്ച് നിർമ്മിക്കാൻ കഴിയുന്നില്ല.","codex.hunk.patch.partialSuccess":"ഭാഗിക വിജയം","codex.hunk.patch.revertError":"അൺസ്റ്റേജ് പരാജയപ്പെട്ടു","codex.hunk.patch.revertSuccess":"വിജയകരമായി അൺസ്റ്റേജ് ചെയ്തു","codex.hunk.patch.success":"വിജയകരമായി സ്റ്റേജ് ചെയ്തു","codex.legal.autonomy.details":"കൂടുതൽ വിവരങ്ങൾക്ക്, {link} കാണുക","codex.legal.autonomy.details.link":"Codex docs","codex.legal.autonomy.title":"നിങ്ങൾ എത്രത്തോളം സ്വയംഭരണം നൽകണമെന്ന് തീരുമാനിക്കുക","codex.legal.backButton":"തിരികെ പോകുക","codex.legal.cloud.taskOne.meta":"openai/agi · ഒക്ടോ 12","codex.legal.cloud.taskOne.title":"ഒരു പുതിയ ഡിസൈനർക്ക് റിപ്പോസിറ്ററിയെക്കുറിച്ച് വിശദീകരിച്ചു കൊടുക്കുക","codex.legal.cloud.taskThree.meta":"openai/codex · ഒക്ടോ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"ഒരു ഡാർക്ക് മോഡ് തീം സൃഷ്ടിക്കുക","codex.legal.cloud.taskTwo.meta":"openai/agi · ഒക്ടോ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ഒരു ഓൺബോർഡിംഗ് ബഗ് പരിഹരിക്കുക","codex.legal.continue.apikey":"തുടരുക","codex.legal.continueButton":"അടുത്തത്","codex.legal.copilot.details":"എല്ലാ മോഡൽ കോളുകൾക്കും ബില്ലിംഗിനും നിരക്ക് പരിധികൾക്കും നിങ്ങളുടെ കോപൈലറ്റ് പ്ലാൻ ഉപയോഗിക്കുന്നു. കോഡെക്സ് എക്സ്റ്റൻഷൻ ഉപയോഗം {oaiTos} കൂടാതെ {gitHubTos} എന്നിവയ്ക്ക് വിധേയമാണ്.","codex.legal.copilot.gitHubTosLink":"GitHub സേവന നിബന്ധനകൾ","codex.legal.copilot.oaiTosLink":"OpenAI Codex സേവന നിബന്ധനകൾ","codex.legal.copilot.title":"GitHub കോപൈലറ്റിൽ നിന്ന്","codex.legal.mistakes.review":"അത് എഴുതുന്ന കോഡും അത് റൺ ചെയ്യുന്ന കമാൻഡുകളും പരിശോധിക്കുക","codex.legal.mistakes.title":"Codex തെറ്റുകൾ വരുത്താം","codex.legal.powered.details":"നിങ്ങളുടെ പ്ലാൻ നിരക്ക് പരിധികളും {link}-ഉം ഉപയോഗിക്കുക","codex.legal.powered.details.link":"പരിശീലന ഡാറ്റ മുൻഗണനകൾ","codex.legal.powered.title":"നിങ്ങളുടെ ChatGPT അക്കൗണ്ടിൽ നിന്ന്","codex.legal.step.cloud.subtitle":"പശ്ചാത്തലത്തിൽ പ്രവർത്തിക്കാൻ Codex-ലേക്ക് ടാസ്‌ക്കുകൾ അയയ്‌ക്കുക, അതുവഴി നിങ്ങൾക്ക് ശ്രദ്ധ കേന്ദ്രീകരിക്കാനും വേഗത്തിൽ നീങ്ങാനും കഴിയും.","codex.legal.step.cloud.title":"ക്ലൗഡിലെ Codex-ലേക്ക് കൈമാറുക","codex.legal.step.intro.subtitle":"കോഡെക്സ് നിങ്ങളുടെ റിപ്പോയിൽ നേരിട്ട് നാവിഗേറ്റ് ചെയ്യുന്നു, എഡിറ്റ് ചെയ്യുന്നു, കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കുന്നു, ടെസ്റ്റുകൾ നടപ്പിലാക്കുന്നു. നിങ്ങളുടെ ChatGPT അക്കൗണ്ടിൽ നിന്ന്.","codex.legal.step.intro.title":"നിങ്ങളുടെ IDE-യിൽ Codex","codex.legal.step.todo.subtitle":"ഒരു TODO കമന്റ് എഴുതി ഒറ്റ ക്ലിക്കിൽ അതിനെ ഒരു Codex ടാസ്‌കാക്കി മാറ്റുക.","codex.legal.step.todo.title":"TODO-കളെ Codex ടാസ്‌ക്കുകളാക്കി മാറ്റുക","codex.legal.todo.heading":"// TODO: സ്കീമ നടപ്പിലാക്കുക","codex.localConversation.closeImagePreview":"ഇമേജ് പ്രിവ്യൂ ക്ലോസ് ചെയ്യുക","codex.localConversation.userImageAttachment":"ഉപയോക്തൃ അറ്റാച്ച്മെൻ്റ്","codex.localTaskRow.archiveTask":"ത്രെഡ് ആർകൈവ് ചെയ്യുക","codex.localTaskRow.awaitingApproval":"അംഗീകാരത്തിനായി കാത്തിരിക്കുന്നു","codex.localTaskRow.awaitingResponse":"പ്രതികരണത്തിനായി കാത്തിരിക്കുന്നു","codex.localTaskRow.confirmArchiveTask":"സ്ഥിരീകരിക്കുക","codex.loggedOut.apiKeyPrompt.cancel":"റദ്ദാക്കുക","codex.loggedOut.apiKeyPrompt.confirm":"ഓക്കേ","codex.loggedOut.apiKeyPrompt.getKey":"API കീ നേടുക","codex.loggedOut.apiKeyPrompt.inputLabel":"നിങ്ങളുടെ OpenAI API കീ നൽകുക","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API കീ ഉപയോഗിച്ച് ക്ലൗഡ് ടാസ്‌ക്കുകൾ പ്രവർത്തനരഹിതമാക്കി","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot-ഉം API കീയും ഉപയോഗിച്ച് ക്ലൗഡ് ടാസ്‌ക്കുകൾ പ്രവർത്തനരഹിതമാക്കി","codex.loggedOut.signIn":"ChatGPT ഉപയോഗിച്ച് സൈൻ ഇൻ ചെയ്യുക","codex.loggedOut.signIn.cancel":"സൈൻ ഇൻ റദ്ദാക്കുക","codex.loggedOut.signInWithCopilot":"GitHub Copilot ഉപയോഗിച്ച് സൈൻ ഇൻ ചെയ്യുക","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API കീ ഉപയോഗിക്കുക","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ടൂൾ","codex.mcpTool.collapsedLabel.verb.called":"വിളിച്ചു","codex.mcpTool.collapsedLabel.verb.calling":"വിളിക്കുന്നു","codex.mcpTool.embeddedResource.contentLabel":"ഉള്ളടക്കം","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME തരം","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ടൂൾ ഉള്ളടക്കമൊന്നും തിരികെ നൽകിയില്ല","codex.mcpTool.rawPayloadHeading":"റോ{server}.{tool} ടൂൾ കോൾ പേലോഡ്","codex.menu.recent":"സമീപകാലത്തെ","codex.menu.seeAllHistory":"എല്ലാ ചരിത്രവും കാണുക","codex.modelCapacityBanner.headline.noReset":"{modelName} നിലവിൽ പൂർണ്ണ ശേഷിയിലാണ്. പിന്നീട് വീണ്ടും ശ്രമിക്കുക, അല്ലെങ്കിൽ മറ്റൊരു മോഡലുമായി ഒരു പുതിയ സംഭാഷണം ആരംഭിക്കുക.","codex.modelCapacityBanner.headline.withReset":"{modelName} നിലവിൽ പൂർണ്ണ ശേഷിയിലാണ്. {resetDate} സമയത്തിന് ശേഷം വീണ്ടും ശ്രമിക്കുക, അല്ലെങ്കിൽ മറ്റൊരു മോഡലുമായി ഒരു പുതിയ സംഭാഷണം ആരംഭിക്കുക.","codex.modelCapacityBanner.title":"തിരഞ്ഞെടുത്ത മോഡൽ പൂർണ്ണ ശേഷിയിലാണ്","codex.patch.change.contentsDeleted":"ഉള്ളടക്കം ഇല്ലാതാക്കി","codex.patch.change.created":"സൃഷ്ടിച്ചു","codex.patch.change.created-file":"ഫയൽ നിർമ്മിച്ചു","codex.patch.change.creating":"സൃഷ്ടിക്കുന്നു","codex.patch.change.deleted":"ഇല്ലാതാക്കി","codex.patch.change.deleted-file":"ഫയൽ നീക്കം ചെയ്തു","codex.patch.change.deleting":"ഇല്ലാതാക്കുന്നു","codex.patch.change.edited":"എഡിറ്റ് ചെയ്തത്","codex.patch.change.edited-file":"എഡിറ്റ് ചെയ്ത ഫയൽ","codex.patch.change.editing":"എഡിറ്റിംഗ്","codex.patch.change.noChanges":"മാറ്റങ്ങൾ ഇല്ല","codex.patch.change.rejected-add":"നിരസിച്ചു","codex.patch.change.rejected-delete":"നിരസിച്ചു","codex.patch.change.rejected-edit":"നിരസിച്ചു","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total}-ൽ {completed} ടാസ്കുകൾ പൂർത്തിയായി","codex.plan.todoListCreated":"{total} ടാസ്കുകൾ ഉൾക്കൊള്ളുന്ന ചെയ്യേണ്ട കാര്യങ്ങളുടെ ലിസ്റ്റ് സൃഷ്ടിച്ചു","codex.profileDropdown.apiKeyAuth":"API കീ ഉപയോഗിച്ച് ലോഗിൻ ചെയ്‌തു","codex.profileDropdown.codexSettings":"Codex ക്രമീകരണങ്ങൾ","codex.profileDropdown.copilotAuth":"Copilot ഉപയോഗിച്ച് ലോഗിൻ ചെയ്തു","codex.profileDropdown.defaultAccountTitle":"ഡിഫോൾട്ട് അക്കൗണ്ട്","codex.profileDropdown.enterBehavior":"ദൈർഘ്യമുള്ള പ്രോംപ്റ്റുകൾ അയക്കുന്നതിനായി {modifierSymbol} + എന്റർ അമർത്തുക","codex.profileDropdown.enterBehaviorError":"ക്രമീകരണം അപ്ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.getPlus":"ഉയർന്ന പരിധികൾക്കായി അപ്‌ഗ്രേഡ് ചെയ്യുക","codex.profileDropdown.keyboardShortcuts":"കീബോർഡ് ഷോർട്ട്കട്ടുകൾ","codex.profileDropdown.language":"ഭാഷ","codex.profileDropdown.languageDefault":"സ്വയം കണ്ടെത്തുക","codex.profileDropdown.languageSearchPlaceholder":"ഭാഷകൾ തിരയുക","codex.profileDropdown.languageUpdateError":"ഭാഷ അപ്‌ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.logOut":"ലോഗ് ഔട്ട്","codex.profileDropdown.mcp":"MCP ക്രമീകരണങ്ങൾ","codex.profileDropdown.openConfigToml":"config.toml തുറക്കുക","codex.profileDropdown.openConfigToml.wsl":"WSL എൻവയോൺമെന്‍റില്‍ config.toml തുറക്കുക","codex.profileDropdown.openExtensionSettings":"ക്രമീകരണങ്ങൾ തുറക്കുക","codex.profileDropdown.openMcpSettings":"MCP ക്രമീകരണങ്ങൾ തുറക്കുക","codex.profileDropdown.openOnStartup":"സ്റ്റാർട്ടപ്പിൽ തുറക്കുക","codex.profileDropdown.openOnStartupError":"ക്രമീകരണം അപ്ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.openSkillsSettings":"സ്കിൽസ് ക്രമീകരണങ്ങൾ തുറക്കുക","codex.profileDropdown.personalAccountTitle":"പേഴ്സണൽ അക്കൗണ്ട്","codex.profileDropdown.queueFollowUps":"ക്യൂ ഫോളോ-അപ്പുകൾ","codex.profileDropdown.queueFollowUpsError":"ക്രമീകരണം അപ്ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.readDocs":"ഡോക്യുമെന്‍റുകൾ വായിക്കുക","codex.profileDropdown.readSkillsDocs":"ഡോക്യുമെന്‍റുകൾ വായിക്കുക","codex.profileDropdown.runInWsl":"WSL-ൽ റൺ ചെയ്യുക","codex.profileDropdown.runInWslError":"ക്രമീകരണം അപ്ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.runInWslTooltip":"WSL-നുള്ളിൽ Codex പ്രവർത്തിപ്പിക്കുന്നു. മെച്ചപ്പെട്ട സാൻഡ്‌ബോക്‌സ് സുരക്ഷയ്ക്കും മികച്ച പ്രകടനത്തിനും ഇത് ശുപാർശ ചെയ്യുന്നു.","codex.profileDropdown.settings":"IDE ക്രമീകരണങ്ങൾ","codex.profileDropdown.settingsPage":"ക്രമീകരണങ്ങൾ","codex.profileDropdown.signInWithOpenAI":"ChatGPT ഉപയോഗിച്ച് സൈൻ ഇൻ ചെയ്യുക","codex.profileDropdown.skills":"സ്കിൽസ് ക്രമീകരണങ്ങൾ","codex.profileDropdown.switchToCopilotAccount":"Copilot അക്കൗണ്ട് ഉപയോഗിക്കുക","codex.profileDropdown.switchToOpenAIAccount":"OpenAI അക്കൗണ്ട് ഉപയോഗിക്കുക","codex.profileDropdown.todoCodelens":"TODO അഭിപ്രായങ്ങൾ പരിഹരിക്കുക","codex.profileDropdown.todoCodelensError":"ക്രമീകരണം അപ്ഡേറ്റ് ചെയ്യാനായില്ല","codex.profileDropdown.windowsDocumentation":"Windows ഡോക്യുമെൻ്റേഷൻ","codex.profileFooter.signedInFallback":"ക്രമീകരണങ്ങൾ","codex.profileFooter.upgrade":"നവീകരിക്കുക","codex.recentTasksMenu.clearSearch":"തിരയൽ മായ്ക്കുക","codex.recentTasksMenu.cloud":"ക്ലൗഡ് ടാസ്കുകൾ","codex.recentTasksMenu.count":"{count, plural, =0 {ടാസ്‌ക്കുകളൊന്നും പുരോഗമിക്കുന്നില്ല} one {# ടാസ്‌ക് പുരോഗമിക്കുന്നു} other {# ടാസ്‌ക് പുരോഗമിക്കുന്നു}}","codex.recentTasksMenu.empty":"ഇതുവരെ ത്രെഡുകളൊന്നുമില്ല","codex.recentTasksMenu.errorCloud":"ടാസ്‌ക്കുകൾ ലോഡ് ചെയ്യാനായില്ല.","codex.recentTasksMenu.errorCloud.inline":"ക്ലൗഡ് ടാസ്‌ക്കുകൾ ലോഡ് ചെയ്യാനായില്ല.","codex.recentTasksMenu.filterAll":"എല്ലാം","codex.recentTasksMenu.filterCloudTasks":"ക്ലൗഡ് ടാസ്‌ക്കുകൾ ഫിൽട്ടർ ചെയ്യുക","codex.recentTasksMenu.filterTooltip":"എൻവയോൺമെൻ്റ് അനുസരിച്ച് ടാസ്‌ക്കുകൾ ഫിൽട്ടർ ചെയ്യുക","codex.recentTasksMenu.local":"ലോക്കൽ ടാസ്കുകൾ","codex.recentTasksMenu.recent":"എല്ലാ ടാസ്‌ക്കുകളും","codex.recentTasksMenu.search":"സമീപകാല ടാസ്‌ക്കുകൾ തിരയുക","codex.recentTasksMenu.searchEmpty":"ഫലങ്ങളൊന്നുമില്ല","codex.recentTasksMenu.tooltip":"ടാസ്ക് ചരിത്രം","codex.recentTasksMenu.trigger":"സമീപകാല ടാസ്‌ക്കുകൾ. {count, plural, one {# പുരോഗമിച്ചുകൊണ്ടിരിക്കുന്നു} other {# പുരോഗമിച്ചുകൊണ്ടിരിക്കുന്നു}}","codex.remoteConversation.applyDiff.applyCta":"മാറ്റങ്ങൾ പ്രയോഗിക്കുക","codex.remoteConversation.applyDiff.dropdownTitle":"ഒരു ലോക്കൽ ബ്രാഞ്ചിൽ മാറ്റങ്ങൾ പ്രയോഗിക്കുക","codex.remoteConversation.applyDiff.revertCta":"മാറ്റങ്ങൾ പഴയപടിയാക്കുക","codex.remoteConversation.closeImagePreview":"ഇമേജ് പ്രിവ്യൂ ക്ലോസ് ചെയ്യുക","codex.remoteConversation.codexCloudTask":"നിങ്ങൾ ഒരു <u>Codex ക്ലൗഡ്</u> ടാസ്ക് ആണ് കാണുന്നത്","codex.remoteConversation.errorWithMessage":"പിശക്: {message}","codex.remoteConversation.loadingImage":"ചിത്രം ലോഡ് ചെയ്യുന്നു","codex.remoteConversation.openInWeb":"വെബ്ബിൽ തുറക്കുക","codex.remoteConversation.streaming":"ആരംഭിക്കുന്നു","codex.remoteConversation.turnFailed":"ഈ ടാസ്‌കിനിടെ ഒരു പിശക് സംഭവിച്ചു","codex.remoteConversation.turnTab.loading":"ശ്രമം {number}","codex.remoteConversation.turnTab.title":"ശ്രമം {number}","codex.remoteConversation.userImageAttachment":"ഉപയോക്തൃ അറ്റാച്ച്മെൻ്റ്","codex.remoteConversation.viewPreviousTurns":"വെബ്ബിൽ തുറക്കുക","codex.remoteConversation.viewPreviousTurns.buttonText":"തുറക്കുക","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"വെബ്ബിൽ തുറക്കുക","codex.review.copyGitApplyCommand":"git apply കമാൻഡ് പകർത്തുക","codex.review.copyGitApplyCommand.toast":"ക്ലിപ്പ്ബോർഡിലേക്ക് git apply കമാൻഡ് പകർത്തി","codex.review.diffTooLarge.description":"റിവ്യൂവിൽ പ്രദർശിപ്പിക്കാൻ കഴിയാത്തത്ര വലുതാണ് ഈ ഡിഫ്.","codex.review.diffTooLarge.title":"ഡിഫ് കാണിക്കാൻ പ്രദർശിപ്പിക്നാകാകാത്തത്തവിധം വലുതാണ്","codex.review.expandOrCollapseDiffButton.collapse":"എല്ലാ വ്യത്യാസങ്ങളും ചുരുക്കുക","codex.review.expandOrCollapseDiffButton.expand":"എല്ലാം വ്യത്യാസങ്ങളും വിപുലീകരിക്കുക","codex.review.expandOrCollapseDiffMenu.collapse":"എല്ലാ വ്യത്യാസങ്ങളും ചുരുക്കുക","codex.review.expandOrCollapseDiffMenu.expand":"എല്ലാം വ്യത്യാസങ്ങളും വിപുലീകരിക്കുക","codex.review.fileSearch.clear":"ഫയൽ ഫിൽട്ടർ ഒഴിവാക്കുക","codex.review.fileSearch.empty":"നിലവിലെ ഫിൽട്ടറുമായി പൊരുത്തപ്പെടുന്ന ഫയലുകളൊന്നുമില്ല.","codex.review.fileSearch.label":"ഫയലുകൾ ഫിൽട്ടർ ചെയ്യുക","codex.review.fileSearch.placeholder":"ഫയലുകൾ ഫിൽട്ടർ ചെയ്യുക.…","codex.review.filesChanged":"{num, plural, =0 {ഫയലുകളൊന്നും മാറ്റിയിട്ടില്ല} one {# ഫയലിൽ മാറ്റങ്ങൾ വരുത്തി} other {# ഫയലുകളിൽ മാറ്റങ്ങൾ വരുത്തി}}","codex.review.find.loadMore":"കൂടുതൽ ഫലങ്ങൾ ലോഡ് ചെയ്യുക","codex.review.fullReview.hideFileTree":"ഫയൽ ട്രീ മറയ്ക്കുക","codex.review.fullReview.showFileTree":"ഫയൽ ട്രീ കാണിക്കുക","codex.review.header.moreOptions":"അവലോകന ഓപ്ഷനുകൾ","codex.review.largeDiff.banner":"വലിയ വ്യത്യാസം കണ്ടെത്തി — ഒരു സമയം ഒരു ഫയൽ വീതം കാണിക്കുന്നു.","codex.review.loadFullFiles.disable":"ഫയലുകൾ പൂർണ്ണമായി ലോഡ് ചെയ്യേണ്ടതില്ല","codex.review.loadFullFiles.enable":"ഫയലുകൾ പൂർണ്ണമായി ലോഡ് ചെയ്യുക","codex.review.noDiff":"ഫയലിലെ മാറ്റങ്ങൾ ഇവിടെ കാണാനാകും","codex.review.noDiff.gitInit.createRepository":"Git റിപ്പോസിറ്ററി നിർമ്മിക്കുക","codex.review.noDiff.gitInit.creating":"സൃഷ്ടിക്കുന്നു…","codex.review.noDiff.gitInit.error":"Git init പരാജയപ്പെട്ടു: {message}","codex.review.noDiff.gitInit.success":"Git റിപ്പോസിറ്ററി സൃഷ്ടിച്ചു","codex.review.noDiff.gitRepoRequired.description":"ഈ പ്രോജക്റ്റിലെ മാറ്റങ്ങൾ ട്രാക്ക് ചെയ്ത് പഴയപടിയാക്കുക","codex.review.noDiff.gitRepoRequired.title":"ഒരു Git റിപ്പോസിറ്ററി നിർമ്മിക്കുക","codex.review.noDiff.orNoLongerAvailable":"അല്ലെങ്കിൽ ഏറ്റവും പുതിയ വ്യത്യാസങ്ങൾ നിലവിൽ ലഭ്യമല്ല","codex.review.noDiff.reverted":"അവസാന ടേൺ പഴയപടിയാക്കി","codex.review.noDiff.revertedOrCommitted":"അവസാന ടേൺ പഴയപടിയാക്കുകയോ കമ്മിറ്റ് ചെയ്യുകയോ ചെയ്‌തിരിക്കുന്നു.","codex.review.refreshGitQueries":"റീഫ്രഷ് ചെയ്യുക","codex.review.revert.file.error":"{path} പഴയപടിയാക്കാനായില്ല.","codex.review.revert.file.partialSuccess":"{path} ഭാഗികമായി പഴയപടിയാക്കി","codex.review.revert.file.success":"{path} പഴയപടിയാക്കി","codex.review.revert.hunk.error":"ഹങ്ക് പഴയപടിയാക്കാനായില്ല {path}-ൽ {hunkNumber}","codex.review.revert.hunk.partialSuccess":"ഹങ്ക് ഭാഗികമായി പഴയപടിയാക്കി {path}-ൽ {hunkNumber}","codex.review.revert.hunk.success":"ഹങ്ക് പഴയപടിയാക്കി {path}-ൽ {hunkNumber}","codex.review.revert.section.error":"വിഭാഗം പഴയപടിയാക്കാനായില്ല","codex.review.revert.section.partialSuccess":"വിഭാഗം ഭാഗികമായി പഴയപടിയാക്കി","codex.review.revert.section.success":"വിഭാഗം പഴയപടിയാക്കി","codex.review.revertDialog.cancel":"റദ്ദാക്കുക","codex.review.revertDialog.confirm":"സ്ഥിരീകരിക്കുക","codex.review.revertDialog.message":"ഈ പ്രവർത്തനം ഈ മാറ്റങ്ങളെല്ലാം ഇല്ലാതാക്കുന്നു.","codex.review.revertDialog.skip":"വീണ്ടും ചോദിക്കരുത്","codex.review.revertDialog.title":"മാറ്റങ്ങൾ പഴയപടിയാക്കണോ?","codex.review.richPreview.disable":"റിച്ച് പ്രിവ്യൂ പ്രവർത്തനരഹിതമാക്കുക","codex.review.richPreview.enable":"റിച്ച് പ്രിവ്യൂ പ്രവർത്തനക്ഷമമാക്കുക","codex.review.source.cloud":"ക്ലൗഡ് മാറ്റങ്ങൾ","codex.review.source.local.all":"എല്ലാ ബ്രാഞ്ച് മാറ്റങ്ങളും","codex.review.source.local.lastTurn":"അവസാനത്തെ ടേണിലെ മാറ്റങ്ങൾ","codex.review.source.local.uncommitted":"തീർപ്പാക്കാത്ത മാറ്റങ്ങൾ","codex.review.source.worktree":"വർക്ക്‌ട്രീയിലെ കമിറ്റ് ചെയ്യാത്ത മാറ്റങ്ങൾ","codex.review.stageFilter.empty.staged.description":"മാറ്റങ്ങൾ സ്റ്റേജ് ചെയ്യുന്നതിനായി അവ അംഗീകരിക്കുക","codex.review.stageFilter.empty.staged.title":"സ്റ്റേജ് ചെയ്ത മാറ്റങ്ങൾ ഒന്നുമില്ല","codex.review.stageFilter.empty.unstaged.description":"കോഡിലെ മാറ്റങ്ങൾ ഇവിടെ കാണാനാകും","codex.review.stageFilter.empty.unstaged.title":"സ്റ്റേജ് ചെയ്യാത്ത മാറ്റങ്ങൾ ഇല്ല","codex.review.stageFilter.staged":"സ്റ്റേജ് ചെയ്തത്","codex.review.stageFilter.staged.count":"സ്റ്റേജ് ചെയ്തത് · {count}","codex.review.stageFilter.unstaged":"സ്റ്റേജ് ചെയ്യാത്തത്","codex.review.stageFilter.unstaged.count":"സ്റ്റേജ് ചെയ്യാത്തത് · {count}","codex.review.switchToSplit":"സ്പ്ലിറ്റ് വ്യത്യാസത്തിലേക്ക് മാറുക","codex.review.switchToUnified":"യൂണിഫൈഡ് വ്യത്യാസത്തിലേക്ക് മാറുക","codex.review.toggleDiffView":"ഡിഫ് വ്യൂ ടോഗിൾ ചെയ്യുക","codex.review.wordDiffs.disable":"വേഡ് വ്യത്യാസങ്ങൾ പ്രവർത്തനരഹിതമാക്കുക","codex.review.wordDiffs.enable":"വേഡ് വ്യത്യാസങ്ങൾ പ്രവർത്തന സജ്ജമാക്കുക","codex.review.wrap.disable":"വേഡ് റാപ്പ് പ്രവർത്തനരഹിതമാക്കുക","codex.review.wrap.enable":"വേഡ് റാപ്പ് പ്രവർത്തന സജ്ജമാക്കുക","codex.section.patch.missing":"ഈ വിഭാഗത്തിനായി പാച്ച് നിർമ്മിക്കാൻ കഴിയുന്നില്ല.","codex.shell.collapse":"ഷെൽ ചുരുക്കുക","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"ഷെൽ ഉള്ളടക്കങ്ങൾ പകർത്തി","codex.shell.copy.copyTooltip":"ഷെൽ ഉള്ളടക്കങ്ങൾ പകർത്തുക","codex.shell.copyCommand":"കമാൻഡ് പകർത്തുക","codex.shell.copyOutput":"ഔട്ട്പുട്ട് പകർത്തുക","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"ബാഷ്","codex.shell.expand":"ഷെൽ വികസിപ്പിക്കുക","codex.shell.name":"ഷെൽ","codex.shell.noOutput":"ഔട്ട്‌പുട്ട് ലഭ്യമല്ല","codex.signInFailed.message":"സൈൻ ഇൻ ചെയ്യാനായില്ല: {rawMessage}","codex.stories.toast.show":"ടോസ്റ്റ് കാണിക്കുക","codex.stories.tooltip.basic":"ഇതൊരു ടൂൾടിപ്പാണ്","codex.stories.tooltip.hoverMe":"എന്നിൽ മൗസ് കൊണ്ടു തൊടുക","codex.stories.tooltip.largerOffset":"ഈ ടൂൾടിപ്പിന് ഒരു വലിയ ഓഫ്‌സെറ്റ് ഉണ്ട്","codex.stories.tooltip.offsetButton":"വലിയ ഓഫ്‌സെറ്റ്","codex.stories.tooltip.shortcutButton":"ഷോർട്ട്കട്ടിനൊപ്പം","codex.stories.tooltip.withShortcut":"ടെർമിനൽ മാറ്റുക","codex.taskRow.title":"പുതിയ ത്രെഡ്","codex.taskRowLayout.confirm":"സ്ഥിരീകരിക്കുക","codex.threadFindBar.chatFilter":"ചാറ്റ് തിരയുക","codex.threadFindBar.close":"കണ്ടെത്തുക ക്ലോസ് ചെയ്യുക","codex.threadFindBar.diffFilter":"മാറ്റങ്ങൾ തിരയുക","codex.threadFindBar.label":"ത്രെഡിൽ കണ്ടെത്തുക","codex.threadFindBar.nextResult":"അടുത്ത ഫലം","codex.threadFindBar.noResults":"ഫലങ്ങളൊന്നുമില്ല","codex.threadFindBar.placeholder":"ത്രെഡിൽ തിരയുക…","codex.threadFindBar.placeholder.extension":"ത്രെഡിൽ തിരയുക…","codex.threadFindBar.placeholder.review":"മാറ്റങ്ങൾ തിരയുക…","codex.threadFindBar.placeholder.review.extension":"മാറ്റങ്ങൾ തിരയുക…","codex.threadFindBar.previousResult":"മുൻപത്തെ ഫലം","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# ഫയലിൽ മാറ്റങ്ങൾ വരുത്തി} other {# ഫയലുകളിൽ മാറ്റങ്ങൾ വരുത്തി}}","codex.unifiedDiff.inlineLargeFile":"ഇൻലൈൻ ആയി കാണിക്കാൻ കഴിയാത്തവിധം വലുതാണ്","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"പഴയപടിയാക്കുക","codex.unifiedDiff.revertPatchError":"മാറ്റങ്ങൾ പഴയപടിയാക്കാനായില്ല","codex.unifiedDiff.revertPatchSuccess":"മാറ്റങ്ങൾ പഴയപടിയാക്കി","codex.unifiedDiff.reviewChangesSuffix":"മാറ്റങ്ങൾ","codex.unifiedDiff.reviewShort":"അവലോകനം ചെയ്യുക","codex.unifiedDiff.viewDiffTooltip":"അവലോകനം ചെയ്യുക","codex.upsellBanner.business.headline":"ഇപ്പോൾ കൂടുതൽ ആക്സസ് ലഭിക്കുന്നതിന്, നിങ്ങളുടെ അഡ്‌മിന് ഒരു അഭ്യർത്ഥന അയയ്‌ക്കുക അല്ലെങ്കിൽ {resetDate}വരെ കാത്തിരിക്കുക","codex.upsellBanner.cbp.headline":"ഇപ്പോൾ കൂടുതൽ ആക്സസ് ലഭിക്കുന്നതിന്, നിങ്ങളുടെ അഡ്‌മിന് ഒരു അഭ്യർത്ഥന അയയ്‌ക്കുക.","codex.upsellBanner.cta.addCredits":"ക്രെഡിറ്റുകൾ ചേർക്കുക","codex.upsellBanner.cta.upgradeAccount":"നവീകരിക്കുക","codex.upsellBanner.cta.viewUsage":"ഉപയോഗം കാണുക","codex.upsellBanner.free.trialHeadline":"നിങ്ങളുടെ പരിധി {resetDate}-ന് റീസെറ്റ് ചെയ്യും. Codex ഉപയോഗിക്കുന്നത് തുടരുന്നതിനും GPT-5.3-Codex ആക്സസ് ചെയ്യുന്നതിനും ഇന്ന് തന്നെ നിങ്ങളുടെ Plus ഫ്രീ ട്രയൽ ആരംഭിക്കൂ.","codex.upsellBanner.freeOrGo.headline":"നിങ്ങളുടെ റേറ്റ് ലിമിറ്റ് {resetDate}-ന് റീസെറ്റ് ചെയ്യും. Codex തുടർച്ചയായി ഉപയോഗിക്കുന്നതിനായി ഇന്ന് തന്നെ Plus പ്ലാനിലേക്ക് അപ്‌ഗ്രേഡ് ചെയ്യുക.","codex.upsellBanner.general.headline":"നിങ്ങളുടെ റേറ്റ് ലിമിറ്റ് {resetDate}-ന് റീസെറ്റ് ചെയ്യും.","codex.upsellBanner.general.title":"നിങ്ങളുടെ Codex സന്ദേശങ്ങൾ തീർന്നു","codex.upsellBanner.go.trialHeadline":"നിങ്ങളുടെ പരിധി {resetDate}-ന് റീസെറ്റ് ചെയ്യും. Codex ഉപയോഗിക്കുന്നത് തുടരാൻ ഇന്ന് തന്നെ Plus പ്ലാനിന്‍റെ സൗജന്യ ട്രയൽ ആരംഭിക്കുക.","codex.upsellBanner.plus.headline":"നിങ്ങളുടെ റേറ്റ് ലിമിറ്റ് {resetDate}-ന് റീസെറ്റ് ചെയ്യും. Codex തുടർച്ചയായി ഉപയോഗിക്കുന്നതിനായി ക്രെഡിറ്റുകൾ ചേർക്കുകയോ അല്ലെങ്കിൽ ഇന്ന് തന്നെ Pro പ്ലാനിലേക്ക് അപ്‌ഗ്രേഡ് ചെയ്യുകയോ ചെയ്യുക.","codex.upsellBanner.pro.headline":"നിങ്ങളുടെ റേറ്റ് ലിമിറ്റ് {resetDate}-ന് റീസെറ്റ് ചെയ്യും. Codex ഉപയോഗിക്കുന്നത് തുടരാൻ ഇപ്പോൾ തന്നെ ക്രെഡിറ്റുകൾ ചേർക്കുക.","codex.userMessage.autoResolveSync":"തടസ്സങ്ങൾ സ്വയമേവ പരിഹരിക്കുക","codex.userMessage.commentCount":"{count, plural, one {# അഭിപ്രായം} other {# അഭിപ്രായങ്ങൾ}}","codex.userMessage.copiedAriaLabel":"പകർത്തി","codex.userMessage.copiedTooltip":"പകർത്തി","codex.userMessage.copyAriaLabel":"സന്ദേശം പകർത്തുക","codex.userMessage.copyTooltip":"പകർത്തുക","codex.userMessage.implementPlan":"പദ്ധതി നടപ്പിലാക്കുക","codex.userMessage.noContent":"(ഉള്ളടക്കമില്ല)","codex.userMessage.priorConversation":"സംഭാഷണത്തിന് മുമ്പുള്ള പരാമർശങ്ങൾ","codex.userMessage.reviewMode":"റിവ്യൂ മോഡ്","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}-ന്","codex.webSearch.summary.verb.completed":"വെബിൽ തിരഞ്ഞു","codex.webSearch.summary.verb.inProgress":"വെബിൽ തിരയുന്നു","codex.windowsInstallWslBanner.dismiss":"ഒഴിവാക്കുക","codex.windowsInstallWslBanner.installWslCta":"സാൻഡ്‌ബോക്‌സ് പ്രവർത്തനക്ഷമമാക്കുക","codex.windowsInstallWslBanner.learnMore":"കൂടുതലറിയുക","codex.windowsSandboxBanner.content":"ഫയൽസിസ്റ്റത്തിലേക്കും നെറ്റ്‌വർക്കിലേക്കും ഉള്ള ആക്‌സസ് പരിമിതപ്പെടുത്തുന്നതിന് ഏജന്റ് മോഡ് വിൻഡോസിൽ ഒരു പരീക്ഷണാത്മക സാൻഡ്‌ബോക്‌സ് ഉപയോഗിക്കുന്നു. {sandboxLink}","codex.windowsSandboxBanner.title":"ഏജൻ്റ് മോഡിനായി സാൻഡ്‌ബോക്‌സ് പ്രവർത്തനക്ഷമമാക്കുക","codex.windowsSubDropdown.windowsSandbox":"Windows സാൻഡ്‌ബോക്‌സ്","codex.windowsSubDropdown.windowsSettings":"Windows ക്രമീകരണങ്ങൾ","codexUpgradeModal.body":"ഞങ്ങളുടെ ഏറ്റവും പുതിയ ഏജന്‍റിക് കോഡിംഗ് മോഡൽ — കൂടുതൽ ബുദ്ധിശക്തിയുള്ളതും വേഗതയേറിയതും സാങ്കേതിക ജോലികളിൽ കൂടുതൽ കഴിവുള്ളതുമാണ്. {link}","codexUpgradeModal.close":"അടയ്ക്കുക","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"കൂടുതലറിയുക","codexUpgradeModal.title":"അവതരിപ്പിക്കുന്നു GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex ഇപ്പോൾ പരീക്ഷിക്കൂ","codexUpgradeModal.useExistingModel":"നിലവിലെ മോഡലുമായി തുടരുക","commentAttachments.numComments":"{count, plural, one {# അഭിപ്രായം} other {# അഭിപ്രായങ്ങൾ}}","commentAttachments.removeAriaLabel":"കമന്‍റുകളുടെ അറ്റാച്ച്മെൻ്റ് നീക്കം ചെയ്യുക","common.close":"അടയ്ക്കുക","composer.addContext.openFilePickerError":"ഫയൽ പിക്കർ തുറക്കാൻ സാധിക്കുന്നില്ല","composer.addContextDropdown.ariaLabel":"ഫയലുകളും മറ്റും ചേർക്കുക","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ഫയലുകളും മറ്റും ചേർക്കുക","composer.addPhotosAndFiles":"ഫോട്ടോകൾ ഫയലുകളും ചേർക്കുക","composer.atMentionList.emptyQuery":"ഫയലുകൾ തിരയാൻ ടൈപ്പ് ചെയ്യുക","composer.atMentionList.loading":"ഫയലുകൾ തിരയുന്നു…","composer.atMentionList.noResults":"ഫലങ്ങളൊന്നുമില്ല","composer.attemptsSelector.option":"{count, plural, one {# പതിപ്പ്} other {# പതിപ്പുകൾ}}","composer.attemptsSelector.tooltip":"കോഡെക്സിന് നടത്താൻ കഴിയുന്ന സമാന്തര ശ്രമങ്ങളുടെ എണ്ണം","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"{count, plural, one {# ടെർമിനൽ} other {# ടെർമിനലുകൾ}} റൺ ചെയ്യുന്നു","composer.backgroundTerminals.stop":"നിർത്തുക","composer.cleanBackgroundTerminals.error":"പശ്ചാത്തലത്തിൽ പ്രവർത്തിക്കുന്ന ടെർമിനലുകൾ നിർത്താൻ കഴിയില്ല.","composer.cloudFollowUp.cloud":"ക്ലൗഡ്","composer.cloudFollowUp.local":"ലോക്കൽ","composer.cloudFollowUp.whereRun":"ഈ തുടർനടപടി എവിടെയാണ് റൺ ചെയ്യുന്നത്?","composer.cloudTaskCreationError":"ക്ലൗഡ് ടാസ്ക് സൃഷ്ടിക്കുന്നതിൽ പിശക്","composer.cloudTaskError":"ടാസ്ക് സൃഷ്ടിക്കുന്നതിൽ പിശക്","composer.contextWindow.autoCompactionTooltipLine1":"Codex സന്ദർഭം സ്വയമേവ ചുരുക്കുന്നു","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"സന്ദർഭ വിൻഡോ:","composer.contextWindowUsageStatusFull":"{usage}% നിറഞ്ഞിരിക്കുന്നു","composer.contextWindowUsageStatusLeft":"{usage}% ഉപയോഗിച്ചു ({remaining}% ബാക്കി)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens ഉപയോഗിച്ചു","composer.customCliTooltip":"ഒരു കസ്റ്റം CLI എക്സിക്യൂട്ടബിൾ ഉപയോഗിക്കുന്നു","composer.dictation.aria":"ഡിക്റ്റേറ്റ്","composer.dictation.cancel.aria":"ഡിക്റ്റേഷൻ നിർത്തുക","composer.dictation.cancel.tooltip":"ഡിക്റ്റേഷൻ നിർത്തുക","composer.dictation.startError":"ഡിക്റ്റേഷൻ ആരംഭിക്കാനായില്ല","composer.dictation.submit.aria":"ട്രാൻസ്ക്രൈബ് ചെയ്ത് അയക്കുക","composer.dictation.submit.tooltip":"ട്രാൻസ്ക്രൈബ് ചെയ്ത് അയക്കുക","composer.dictation.tooltip":"സംസാരിച്ച് രേഖപ്പെടുത്താൻ അമർത്തിപ്പിടിക്കുക","composer.dictation.transcribeError":"ഓഡിയോ ട്രാൻസ്‌ക്രൈബ് ചെയ്യാൻ കഴിയുന്നില്ല","composer.dictation.unsupported":"ഈ ഉപകരണത്തിൽ ഡിക്റ്റേഷൻ ലഭ്യമല്ല","composer.dropOverlay.holdShift":"ഡ്രോപ്പ് ചെയ്യാൻ {key} അമർത്തിപ്പിടിക്കുക","composer.dropOverlay.shiftKey":"ഷിഫ്റ്റ്","composer.environmentSelector.createNew":"പുതിയത് സൃഷ്ടിക്കുക","composer.environmentSelector.error":"എൻവയോൺമെന്‍റുകൾ ലോഡ് ചെയ്യുന്നതിൽ പിശക്","composer.environmentSelector.goBack":"കമ്പോസറിലേക്ക് മടങ്ങുക","composer.environmentSelector.title":"എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കുക","composer.environmentSelector.tooltip":"ഒരു ക്ലൗഡ് എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കുക","composer.feedbackSlashCommand.title":"ഫീഡ്ബാക്ക്","composer.filePicker.selectFile":"ഒരു ഫയൽ തിരഞ്ഞെടുക്കുക","composer.filePicker.selectFiles":"ഫയലുകൾ തിരഞ്ഞെടുക്കുക","composer.followerTooltip":"തുടരാൻ, ഈ സംഭാഷണം ആരംഭിച്ച വിൻഡോയിലേക്ക് മടങ്ങുക.","composer.footer.branchSwitch.checkoutError":"ബ്രാഞ്ച് മാറ്റുന്നതിൽ പരാജയപ്പെട്ടു: {message}","composer.footer.branchSwitch.createAndCheckout":"പുതിയ ബ്രാഞ്ച് നിർമ്മിച്ച് ചെക്കൗട്ട് ചെയ്യുക…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"പുതിയ ബ്രാഞ്ച് നിർമ്മിച്ച് ചെക്കൗട്ട് ചെയ്യുന്നതിനായി മാറ്റങ്ങൾ കമ്മിറ്റ് ചെയ്യുക","composer.footer.branchSwitch.createBranchError":"ബ്രാഞ്ച് സൃഷ്ടിക്കാനായില്ല: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ബ്രാഞ്ചിന്‍റെ പേര്","composer.footer.branchSwitch.createDialog.branchExistsError":"ബ്രാഞ്ച് നിലവിലുണ്ട്.","composer.footer.branchSwitch.createDialog.close":"അടയ്ക്കുക","composer.footer.branchSwitch.createDialog.createAndCheckout":"നിർമ്മിച്ച് ചെക്കൗട്ട് ചെയ്യുക","composer.footer.branchSwitch.createDialog.placeholder":"പുതിയ ബ്രാഞ്ച്","composer.footer.branchSwitch.createDialog.title":"ബ്രാഞ്ച് നിർമ്മിച്ച് ചെക്കൗട്ട് ചെയ്യുക","composer.footer.branchSwitch.createDialog.trailingSlashError":"ബ്രാഞ്ചിന്‍റെ പേര്  “/” ൽ അവസാനിക്കരുത്.","composer.footer.branchSwitch.tooltip":"ബ്രാഞ്ച് മാറ്റുക","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} ചെക്ക് ഔട്ട് ചെയ്യുന്നതിനായി {fileCount, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}-ലെ മാറ്റങ്ങൾ കമ്മിറ്റ് ചെയ്യുക.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"കമ്മിറ്റ്","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} ചെക്ക് ഔട്ട് (Check out) ചെയ്യുന്നതിനായി {fileCount, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}-ലെ മാറ്റങ്ങൾ.","composer.footer.branchSwitch.uncommittedDialog.cancel":"റദ്ദാക്കുക","composer.footer.branchSwitch.uncommittedDialog.commit":"കമ്മിറ്റ് ചെയ്ത് ബ്രാഞ്ച് മാറ്റുക...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"ചെക്ക് ഔട്ട് ചെയ്യുന്നതിലൂടെ താഴെ പറയുന്ന ഫയലുകളിലെ നിങ്ങളുടെ മാറ്റങ്ങൾ ഓവർറൈറ്റ് ചെയ്യപ്പെടും:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"തുടരുന്നതിനായി നിങ്ങളുടെ മാറ്റങ്ങൾ കമ്മിറ്റ് ചെയ്യുക","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"തിരഞ്ഞെടുത്ത ബ്രാഞ്ച്","composer.footer.branchSwitch.uncommittedDialog.title":"ബ്രാഞ്ച് മാറ്റുന്നതിനായി മാറ്റങ്ങൾ കമ്മിറ്റ് ചെയ്യുക","composer.footer.branchSwitch.uncommittedSummaryPrefix":"കമ്മിറ്റ് ചെയ്യാത്തവ: {fileCount, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}","composer.forkSlashCommand.description":"ഈ ത്രെഡ് ലോക്കൽ അല്ലെങ്കിൽ ഒരു പുതിയ വർക്ക് ട്രീയിലേക്ക് മാറ്റുക","composer.forkSlashCommand.option.local.description":"ഒരു പുതിയ ലോക്കൽ ത്രെഡിൽ തുടരുക","composer.forkSlashCommand.option.local.title":"ലോക്കലിലേക്ക് മാറ്റുക","composer.forkSlashCommand.option.worktree.description":"ഒരു പുതിയ വർക്ക് ട്രീയിൽ തുടരുക","composer.forkSlashCommand.option.worktree.title":"പുതിയ വർക്ക് ട്രീയിലേക്ക് മാറ്റുക","composer.forkSlashCommand.title":"ഫോർക്ക്","composer.ideContextIndicator":"IDE സന്ദർഭം","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"{br} സെലക്ഷൻ സ്റ്റേറ്റും ഓപ്പൺ ഫയലുകളും പോലുള്ള IDE-യിൽ നിന്നുള്ള സന്ദർഭം ഉൾപ്പെടുത്തുക.","composer.ideContextIndicator.tooltipToggle":"ടോഗിൾ ചെയ്യാൻ","composer.ideContextSlashCommand.disableDescription":"IDE കോൺടെക്സ്റ്റ് ഓഫ് ചെയ്യുക","composer.ideContextSlashCommand.enableDescription":"നിങ്ങളുടെ IDE-യിൽ നിന്ന് നിലവിലെ സെലക്ഷൻ, തുറന്ന ഫയലുകൾ, മറ്റ് വിവരങ്ങൾ എന്നിവ ഉൾപ്പെടുത്തുക","composer.ideContextSlashCommand.title":"IDE സന്ദർഭം","composer.imageInputsUnsupported":"ഈ മോഡൽ ചിത്രങ്ങൾ സപ്പോർട്ട് ചെയ്യുന്നില്ല. മറ്റൊരു മോഡൽ പരീക്ഷിക്കുക.","composer.imageUploadFailed":"ചിത്രം അപ്‌ലോഡ് ചെയ്യാനായില്ല","composer.includeIdeContextDropdown":"IDE കോണ്ടക്സ്റ്റ് ഉൾപ്പെടുത്തുക","composer.includeIdeContextDropdown.ariaLabel":"IDE കോണ്ടക്സ്റ്റ് ഉൾപ്പെടുത്തുക","composer.localCwdDropdown.addWorkspaceRoot":"പുതിയ പ്രോജക്റ്റ് ചേർക്കുക","composer.localCwdDropdown.noActiveRoot":"നിങ്ങളുടെ പ്രോജക്റ്റ് തിരഞ്ഞെടുക്കുക","composer.localCwdDropdown.noResults":"ഫോൾഡറുകളൊന്നും കണ്ടെത്തിയില്ല","composer.localCwdDropdown.title":"നിങ്ങളുടെ പ്രോജക്റ്റ് തിരഞ്ഞെടുക്കുക","composer.localTaskError":"സംഭാഷണം ആരംഭിക്കുന്നതിൽ പിശക്","composer.mcpSlashCommand.description":"MCP സെർവർ സ്റ്റാറ്റസ് കാണിക്കുക","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ആധികാരികമാക്കിയിട്ടില്ല","composer.mcpStatus.authOauth":"ആധികാരികത ഉറപ്പുവരുത്തിയത് (OAuth)","composer.mcpStatus.authToken":"ആധികാരികത ഉറപ്പുവരുത്തിയത് (API key)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"അടയ്ക്കുക","composer.mcpStatus.disabled":"പ്രവർത്തനരഹിതമാക്കി","composer.mcpStatus.emptyLabel":"സെർവറുകൾ:","composer.mcpStatus.emptyValue":"MCP സെർവറുകളൊന്നും കോൺഫിഗർ ചെയ്തിട്ടില്ല","composer.mcpStatus.enabled":"പ്രവർത്തന സജ്ജമാക്കി","composer.mcpStatus.errorLabel":"നില:","composer.mcpStatus.errorValue":"MCP സ്റ്റാറ്റസ് ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ഏജൻ്റ്","composer.mode.agentMode.auto.dropdownLabel":"ഏജൻ്റ്","composer.mode.agentMode.auto.optionLabel":"ഏജൻ്റ്","composer.mode.agentMode.changePermission":"മോഡ് മാറുക","composer.mode.agentMode.custom":"ഇഷ്‌ടാനുസൃതം","composer.mode.agentMode.custom.dropdownLabel":"ഇഷ്‌ടാനുസൃതം","composer.mode.agentMode.custom.option":"ഇഷ്‌ടാനുസൃതം (config.toml)","composer.mode.agentMode.custom.optionLabel":"ഇഷ്‌ടാനുസൃതം (config.toml)","composer.mode.agentMode.customInfo.cancel":"റദ്ദാക്കുക","composer.mode.agentMode.customInfo.cli":"നിങ്ങൾക്ക് ആ ക്രമീകരണങ്ങൾ CLI-യിൽ നിന്നോ ഫയൽ നേരിട്ട് എഡിറ്റ് ചെയ്തോ ക്രമീകരിക്കാം.","composer.mode.agentMode.customInfo.confirm":"ഇഷ്‌ടാനുസൃത മോഡ് ഉപയോഗിക്കുക","composer.mode.agentMode.customInfo.description":"നിങ്ങളുടെ config.toml ഫയലിൽ നിർവചിച്ചിരിക്കുന്ന അംഗീകാര നയങ്ങളും സാൻഡ്‌ബോക്‌സ്<link>നയങ്ങളും കസ്റ്റം മോഡ്</link>പ്രയോഗിക്കുന്നു.","composer.mode.agentMode.customInfo.docs":"എക്സിക്യൂഷൻ എൻവയോൺമെന്റ് ഡോക്സിൽ അപ്രൂവൽ, സാൻഡ്‌ബോക്‌സ് നയങ്ങൾ<link>കോൺഫിഗർ ചെയ്യുന്നതിനെക്കുറിച്ച് കൂടുതലറിയുക</link>.","composer.mode.agentMode.customInfo.refresh":"അടുത്ത തവണ ഏജൻ്റ് പ്രവർത്തിക്കുമ്പോൾ എല്ലാ മാറ്റങ്ങളും പ്രാബല്യത്തിൽ വരും.","composer.mode.agentMode.customInfo.title":"ഇഷ്ടാനുസൃത മോഡ് എങ്ങനെ പ്രവർത്തിക്കുന്നു","composer.mode.agentMode.fullAccess":"ഏജൻ്റ് (പൂർണ്ണമായ ആക്സസ്)","composer.mode.agentMode.fullAccess.dropdownLabel":"ഏജൻ്റ് (പൂർണ്ണമായ ആക്സസ്)","composer.mode.agentMode.fullAccess.optionLabel":"ഏജൻ്റ് (പൂർണ്ണമായ ആക്സസ്)","composer.mode.agentMode.fullAccessConfirm.caution":"പൂർണ്ണമായ ആക്സസ് പ്രവർത്തനക്ഷമമാക്കുമ്പോൾ ജാഗ്രത പാലിക്കുക. ഇത് ഡാറ്റ നഷ്‌ടപ്പെടൽ, ചോർച്ച അല്ലെങ്കിൽ അപ്രതീക്ഷിത പെരുമാറ്റം എന്നിവയ്ക്കുള്ള സാധ്യത ഗണ്യമായി വർദ്ധിപ്പിക്കുന്നു.","composer.mode.agentMode.fullAccessConfirm.confirm":"അതെ, എന്തായാലും തുടരുക","composer.mode.agentMode.fullAccessConfirm.description":"Codex പൂർണ്ണമായ ആക്‌സസോടെ പ്രവർത്തിക്കുമ്പോൾ, നിങ്ങളുടെ അനുമതിയില്ലാതെ തന്നെ, നിങ്ങളുടെ കമ്പ്യൂട്ടറിലെ ഏത് ഫയലും എഡിറ്റ് ചെയ്യാനും നെറ്റ്‌വർക്ക് ഉപയോഗിച്ച് കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കാനും അതിന് കഴിയും.","composer.mode.agentMode.fullAccessConfirm.goBack":"റദ്ദാക്കുക","composer.mode.agentMode.fullAccessConfirm.title":"പൂർണ്ണമായ ആക്‌സസ് അനുവദിക്കണോ?","composer.mode.agentMode.readOnly":"ചാറ്റ്","composer.mode.agentMode.readOnly.dropdownLabel":"ചാറ്റ്","composer.mode.agentMode.readOnly.optionLabel":"ചാറ്റ്","composer.mode.agentMode.tooltip":"മോഡ് മാറുക","composer.mode.agentMode.tooltip.auto":"ഫയലുകൾ വായിക്കുക, എഡിറ്റ് ചെയ്യുക, കമാൻഡുകൾ റൺ ചെയ്യുക.","composer.mode.agentMode.tooltip.custom":"config.toml-ൽ നിർവചിച്ചിരിക്കുന്ന ഏറ്റവും പുതിയ അംഗീകാര നയങ്ങളും സാൻഡ്‌ബോക്‌സ് നയങ്ങളും ഉപയോഗിക്കുക.","composer.mode.agentMode.tooltip.fullAccess":"Codex-ന് ഈ പ്രോജക്റ്റിന് പുറത്തുള്ള ഫയലുകൾ എഡിറ്റ് ചെയ്യാനും നെറ്റ്‌വർക്ക് ആക്‌സസ് ഉപയോഗിച്ച് കമാൻഡുകൾ റൺ ചെയ്യാനും കഴിയും. ഉപയോഗിക്കുമ്പോൾ ജാഗ്രത പാലിക്കുക.","composer.mode.agentMode.tooltip.readOnly":"ഫയലുകൾ എഡിറ്റ് ചെയ്യാനും കമാൻഡുകൾ റൺ ചെയ്യാനും അനുമതി ആവശ്യമാണ്.","composer.mode.cloud.tooltip":"ഒരു ക്ലൗഡ് എൻവയോൺമെന്‍റില്‍ പ്രവർത്തിക്കുക","composer.mode.contactAdmin":"കൂടുതൽ ആക്സസ് ലഭിക്കാൻ, നിങ്ങളുടെ അഡ്‌മിനെ ബന്ധപ്പെടുക","composer.mode.local":"ലോക്കൽ","composer.mode.local.learnMore":"കൂടുതലറിയുക","composer.mode.local.model.custom":"ഇഷ്‌ടാനുസൃതം","composer.mode.local.model.loadingModel":"മോഡൽ ലോഡ് ചെയ്യുന്നു","composer.mode.local.model.selecrReasoningEffort":"റീസണിംഗ് തിരഞ്ഞെടുക്കുക","composer.mode.local.model.selectModel":"മോഡൽ തിരഞ്ഞെടുക്കുക","composer.mode.local.model.tooltip":"മോഡൽ തിരഞ്ഞെടുക്കുക","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"കൂടുതൽ","composer.mode.local.reasoning.low.label":"കുറവ്","composer.mode.local.reasoning.medium.label":"ഇടത്തരം","composer.mode.local.reasoning.minimal.label":"വളരെ കുറവ്","composer.mode.local.reasoning.none.label":"ഒന്നുമില്ല","composer.mode.local.reasoning.xhigh.label":"വളരെ ഉയർന്നത്","composer.mode.localRemoteWhereRun":"ടാസ്‌ക് എവിടെ റൺ ചെയ്യണമെന്ന് തിരഞ്ഞെടുക്കുക","composer.mode.newTask.header":"ഇതിൽ തുടരുക","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"ശേഷിക്കുന്ന നിരക്ക് പരിധികൾ","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} പരിധി:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ആഴ്ചതോറുമുള്ള പരിധി} other {{weeks} ആഴ്ചയിലെ പരിധി}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ആഴ്ചതോറും} other {{weeks} ആഴ്ച}}","composer.mode.remote.connectToCloud":"Codex വെബ് ബന്ധിപ്പിക്കുക","composer.mode.remote.connectToCloudDisabledTooltip":"ക്ലൗഡിലേക്ക് ടാസ്‌ക്കുകൾ അയയ്‌ക്കാൻ അനുവദിക്കുന്നതിന് Codex‌ വെബ് വഴി ഒരു എൻവയോൺമെൻ്റ് സജ്ജീകരിക്കുക","composer.mode.remote.selectEnvironment":"എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കുക","composer.mode.remote.sendToCloud":"ക്ലൗഡിലേക്ക് അയയ്ക്കുക","composer.mode.remote.setupViaWeb":"Codex വെബ് വഴി ഒരു എൻവയോൺമെൻ്റ് സജ്ജമാക്കുക","composer.mode.runInCloud":"ക്ലൗഡ്","composer.mode.runInCloudWithEnvironment":"ക്ലൗഡ് · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ക്ലൗഡ് എൻവയോൺമെന്‍റില്‍ പ്രവർത്തിക്കുക","composer.mode.segmentedToggle.local.tooltip":"നിങ്ങളുടെ ലോക്കൽ പ്രോജക്റ്റിൽ പ്രവർത്തിക്കുക","composer.mode.segmentedToggle.worktree.tooltip":"ഒരു സമാന്തര വർക്ക്ട്രീയിൽ പ്രവർത്തിക്കുക","composer.mode.upgradeToPlus":"Plus-ലേക്ക് അപ്ഗ്രേഡ് ചെയ്യുക","composer.mode.upgradeToPro":"Pro-ലേക്ക് അപ്ഗ്രേഡ് ചെയ്യുക","composer.mode.workLocally":"ലോക്കൽ പ്രോജക്റ്റ്","composer.mode.workLocally.currentBranchFallback":"നിങ്ങളുടെ ബ്രാഞ്ച്","composer.mode.workLocally.tooltip":"{branchName}-ൽ പ്രവർത്തിക്കുക","composer.mode.worktree":"പുതിയ വർക്ക്ട്രീ","composer.mode.worktree.submoduleWarning":"ഈ റിപ്പോസിറ്ററിയിൽ git സബ്മോഡ്യൂളുകൾ ഉണ്ട്. വർക്ക് ട്രീ നിർമ്മാണം പരാജയപ്പെട്ടേക്കാം.","composer.mode.worktree.tooltip":"സമാന്തരമായി പ്രവർത്തിക്കാൻ നിങ്ങളുടെ പ്രാദേശിക പ്രോജക്റ്റിന്‍റെ ഒരു പകർപ്പ് സൃഷ്‌ടിക്കുക","composer.mode.worktreeSegment":"വർക്ക്ട്രീ","composer.modelChangeDuringConversationWarning.toast":"സംഭാഷണത്തിനിടയിൽ മോഡലുകൾ മാറ്റുന്നത് പ്രകടനത്തെ ബാധിച്ചേക്കാം.","composer.newChat.heading.browser":"അടുത്തതായി നമ്മൾ എന്താണ് കോഡ് ചെയ്യേണ്ടത്?","composer.permissionsDropdown.agentMode.tooltip.custom":"config.toml-ൽ നൽകിയിരിക്കുന്ന അനുമതികളാണ് Codex ഉപയോഗിക്കുന്നത്.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex-ന് നിങ്ങളുടെ കമ്പ്യൂട്ടറിൽ പൂർണ്ണമായ ആക്സസ് ഉണ്ട് (ഉയർന്ന തോതിലുള്ള റിസ്ക്)","composer.permissionsDropdown.custom.label":"ഇഷ്‌ടാനുസൃതം (config.toml)","composer.permissionsDropdown.custom.optionLabel":"ഇഷ്‌ടാനുസൃതം (config.toml)","composer.permissionsDropdown.default.label":"ഡിഫോൾട്ട് അനുമതികൾ","composer.permissionsDropdown.default.optionLabel":"ഡിഫോൾട്ട് അനുമതികൾ","composer.permissionsDropdown.default.tooltip":"Codex ഒരു സാൻഡ്‌ബോക്സിൽ സ്വയമേവ കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കുന്നു","composer.permissionsDropdown.disabled.requirements":"പെർമിഷനുകൾ വഴി ലോക്ക് ചെയ്തിരിക്കുകയാണ്.","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml വഴി ഫുൾ ആക്സസ് പ്രവർത്തനരഹിതമാക്കി","composer.permissionsDropdown.fullAccess.label":"പൂർണ്ണമായ ആക്സസ്","composer.permissionsDropdown.fullAccess.optionLabel":"പൂർണ്ണമായ ആക്സസ്","composer.permissionsDropdown.trigger.tooltip":"അനുമതികൾ മാറ്റുക","composer.personalitySlashCommand.description.friendly":"സൗഹൃദപരവും സഹകരണപരവും സഹായകരവുമാണ്","composer.personalitySlashCommand.description.pragmatic":"ചുരുങ്ങിയതും, കാര്യമാത്രപ്രസക്തവും, നേരിട്ടുള്ളതുമാണ്","composer.personalitySlashCommand.label.friendly":"സൗഹാർദ്ദപരമായ","composer.personalitySlashCommand.label.pragmatic":"പ്രായോഗികം","composer.personalitySlashCommand.notApplicableSuffix":"(നിലവിലെ മോഡലിന് ബാധകമല്ല)","composer.personalitySlashCommand.title":"വ്യക്തിത്വം","composer.placeholder.cloudFollowUp.directFollowUp":"ഈ ക്ലൗഡ് ടാസ്‌ക്കിന്‍റെ തുടർനടപടികൾ","composer.placeholder.cloudFollowUp.local":"ഈ ക്ലൗഡ് ടാസ്‌ക്കിനെ പരാമർശിക്കുന്ന ഒരു പുതിയ ലോക്കൽ ടാസ്‌ക്ക് സൃഷ്‌ടിക്കുക","composer.placeholder.cloudFollowUp.workingTree":"നിങ്ങളുടെ നിലവിലെ കോഡ് ഉൾപ്പെടുന്നതും ഈ ടാസ്‌ക്കിനെ പരാമർശിക്കുന്നതുമായ ഒരു പുതിയ ക്ലൗഡ് ടാസ്‌ക്ക് സൃഷ്ടിക്കുക","composer.placeholder.localFollowUp.cloud":"പുതിയ ക്ലൗഡ് ടാസ്‌ക്കിലെ തുടർനടപടികൾ","composer.placeholder.localFollowUp.locally":"തുടർ മാറ്റങ്ങൾ ആവശ്യപ്പെടുക","composer.placeholder.newTask.cloud":"ക്ലൗഡിൽ എന്തും ചെയ്യാൻ Codex-നോട് ആവശ്യപ്പെടുക","composer.placeholder.newTask.doAnything":"Codex-നോട് എന്തും ചെയ്യാൻ ആവശ്യപ്പെടുക","composer.placeholder.newTask.locally":"Codex-നോട് എന്തും ചോദിക്കൂ, ഫയലുകൾ ചേർക്കാൻ @, കമാൻഡുകൾക്കായി / ഉപയോഗിക്കുക","composer.planModeDropdown":"പ്ലാൻ മോഡ്","composer.planModeDropdown.ariaLabel":"പ്ലാൻ മോഡ്","composer.planModeIndicator":"പ്ലാൻ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex ഉപയോഗിച്ച് ഒരു പ്ലാൻ തയ്യാറാക്കുക","composer.planModeIndicator.tooltipToggle":"ടോഗിൾ ചെയ്യാൻ","composer.planSlashCommand.disableDescription":"പ്ലാൻ മോഡ് ഓഫ് ചെയ്യുക","composer.planSlashCommand.enableDescription":"പ്ലാൻ മോഡ് ഓൺ ചെയ്യുക","composer.planSlashCommand.title":"പ്ലാൻ മോഡ്","composer.priorContext.label":"മുമ്പത്തേ സന്ദർഭം","composer.priorContext.removeAriaLabel":"മുമ്പത്തെ സന്ദർഭം നീക്കം ചെയ്യുക","composer.queuedMessage.delete":"ക്യൂവിലുള്ള സന്ദേശം ഇല്ലാതാക്കുക","composer.queuedMessage.edit":"സന്ദേശം എഡിറ്റ് ചെയ്യുക","composer.queuedMessage.more":"ക്യൂവിലുള്ള സന്ദേശത്തിന്മേലുള്ള നടപടികൾ","composer.queuedMessage.sendNow":"സ്റ്റിയർ","composer.queuedMessage.sendNowTooltip":"ജോലിയെ തടസ്സപ്പെടുത്താതെ ഇപ്പോൾ തന്നെ അയക്കുക","composer.queuedMessage.turnOff":"ക്യൂയിംഗ് ഓഫാക്കുക","composer.reasoningEffort.local.reasoning.tooltip":"റീസണിംഗ് അധ്വാനം തിരഞ്ഞെടുക്കുക","composer.remote.branchStartingPoint":"ഏത് ബ്രാഞ്ചിൽ നിന്നാണ് ഈ ടാസ്ക് ആരംഭിക്കേണ്ടത്?.","composer.remote.branchesSectionHeading":"ബ്രാഞ്ചുകൾ","composer.remote.currentEditsSuffix.followUp":"ഈ ക്ലൗഡ് ടാസ്‌ക്കിനെ പരാമർശിക്കുന്ന ഒരു പുതിയ ടാസ്‌ക്ക് സൃഷ്‌ടിക്കുക.","composer.remote.currentEditsSuffix.useLocal":"ലോക്കൽ കോഡ് മാറ്റങ്ങളോടെ","composer.remote.directFollowUp":"പ്രാദേശിക മാറ്റങ്ങൾ ഉപയോഗിക്കരുത്","composer.remote.errorLoadingBranches":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യുന്നതിൽ പിശക്","composer.remote.fromBranch":"{branch}-ൽ നിന്ന്","composer.remote.fromCurrentBranch":"{branch}-ൽ നിന്ന് (നിലവിലുള്ളത്)","composer.remote.loadingMoreBranches":"ലോഡിംഗ്...","composer.remote.localFileStateHeading":"ലോക്കൽ ഫയൽ സ്റ്റേറ്റ്","composer.remote.localWorkingTree":"പ്രാദേശിക മാറ്റങ്ങൾ ഉപയോഗിക്കുക","composer.remote.startingPoint":"ഈ ടാസ്ക് ഏത് കോഡിൽ നിന്നാണ് ആരംഭിക്കേണ്ടത്?","composer.reviewMode.branches.error":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല","composer.reviewMode.branches.retry":"വീണ്ടും ശ്രമിക്കുക","composer.reviewMode.gitRoot.error":"Git റൂട്ട് കണ്ടെത്തിയില്ല","composer.reviewMode.option.baseBranch.simple":"ഒരു ബേസ് ബ്രാഞ്ചിനെതിരെയുള്ള അവലോകനം","composer.reviewMode.option.unstaged.simple":"തീർപ്പാക്കാത്ത മാറ്റങ്ങൾ അവലോകനം ചെയ്യുക","composer.reviewMode.quickReviewError":"കോഡ് അവലോകനം ആരംഭിക്കാനായില്ല.","composer.reviewMode.title":"കോഡ് അവലോകനം","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml വഴി ഫുൾ ആക്സസ് പ്രവർത്തനരഹിതമാക്കി","composer.sandboxButton.windowsSandboxDialog.content":"ഫയൽ സിസ്റ്റം, നെറ്റ്‌വർക്ക് ആക്സസ് എന്നിവ പരിമിതപ്പെടുത്തുന്നതിനായി Windows-ൽ ഒരു പരീക്ഷണാടിസ്ഥാനത്തിലുള്ള സാൻഡ്‌ബോക്‌സ് ഉപയോഗിക്കാൻ Codex-ന് സാധിക്കും. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows സാൻഡ്‌ബോക്‌സ് പ്രവർത്തനക്ഷമമാക്കണോ?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"റീഡ് ഒൺലി ആയി ഉപയോഗിക്കുക","composer.searchEnvironments":"എൻവയോൺമെന്‍റുകൾ തിരയുക","composer.skillMentionList.app":"ആപ്പ്","composer.skillMentionList.appLogoAlt":"{name}ലോഗോ","composer.skillMentionList.loading":"സ്കില്ലുകൾ ലോഡ് ചെയ്യുന്നു…","composer.skillMentionList.noResults":"സ്കില്ലുകൾ ഒന്നും കണ്ടെത്തിയില്ല","composer.slashCommands.cloudEnvironment.title":"ക്ലൗഡ് എൻവയോൺമെൻ്റ്","composer.slashCommands.dialogLabel":"സ്ലാഷ് കമാൻഡ് മെനു","composer.slashCommands.dialogTitle":"സ്ലാഷ് കമാൻഡുകൾ","composer.slashCommands.disabledTooltip":"സ്ലാഷ് കമാൻഡുകൾ ഉപയോഗിക്കാൻ ഒരു പുതിയ സംഭാഷണം ആരംഭിക്കുക","composer.slashCommands.inputPlaceholder":"തിരയുക","composer.slashCommands.noResults":"കമാൻഡുകൾ ഇല്ല","composer.slashCommands.skillsGroup":"സ്കില്ലുകൾ","composer.slashCommands.tooltip":"സ്ലാഷ് കമാൻഡുകൾ ബ്രൗസ് ചെയ്യുക","composer.status.close":"അടയ്ക്കുക","composer.statusPlain.alertLabel":"അലേർട്ട്:","composer.statusPlain.alertValue":"{window}-ൽ {remaining}% ബാക്കിയുണ്ട്","composer.statusPlain.contextLabel":"സന്ദർഭം:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ഉപയോഗിച്ചു / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% അവശേഷിക്കുന്നു","composer.statusPlain.heading":"നില","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} പരിധി:","composer.statusPlain.rateLimitDays":"{count}d പരിധി","composer.statusPlain.rateLimitFallbackLabel":"നിരക്ക് പരിധി:","composer.statusPlain.rateLimitHours":"{count}h പരിധി","composer.statusPlain.rateLimitLabelBase":"നിരക്ക് പരിധി:","composer.statusPlain.rateLimitMinutes":"{count}m പരിധി","composer.statusPlain.rateLimitPercent":"{remaining}% അവശേഷിക്കുന്നു","composer.statusPlain.rateLimitReset":"{time} റീസെറ്റ് ചെയ്യുന്നു","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"റീസെറ്റ് സമയം ലഭ്യമല്ല","composer.statusPlain.rateLimitUnavailable":"ലഭ്യമല്ല","composer.statusPlain.sessionCopiedAriaLabel":"സെഷൻ ID പകർത്തി","composer.statusPlain.sessionCopiedTooltip":"ID പകർത്തി","composer.statusPlain.sessionCopyAriaLabel":"സെഷൻ ID പകർത്തുക","composer.statusPlain.sessionCopyTooltip":"ID പകർത്തുക","composer.statusPlain.sessionLabel":"സെഷൻ:","composer.statusSlashCommand.description":"ത്രെഡ് ഐഡി, സന്ദർഭ ഉപയോഗം, നിരക്ക് പരിധികൾ എന്നിവ കാണിക്കുക","composer.statusSlashCommand.title":"നില","composer.submit.blockedDialogOk":"ഓക്കേ","composer.submit.blockedDialogTitle":"സന്ദേശം അയയ്ക്കാൻ കഴിയുന്നില്ല","composer.submit.emptyMessage":"ആരംഭിക്കാൻ ഒരു സന്ദേശം നൽകുക","composer.submit.imageInputsUnsupported":"ഈ സന്ദേശം അയക്കുന്നതിനായി ചിത്രങ്ങൾ ഒഴിവാക്കുക അല്ലെങ്കിൽ മോഡൽ മാറ്റുക.","composer.submit.loadingLocalConfig":"ലോഡിംഗ്...","composer.submit.missingCloudConfig":"നിങ്ങൾ ഒരു ക്ലൗഡ് എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കണം","composer.submit.missingCloudTurn":"ഈ ടാസ്‌ക്കിൽ ഫോളോ-അപ്പ് ചെയ്യാൻ കഴിയില്ല","composer.submit.noWorkspace":"Codex ഉപയോഗിക്കുന്നതിനായി ഒരു പ്രോജക്റ്റ് ചേർക്കുക","composer.submit.waitForImageUploads":"ചിത്രങ്ങൾ അപ്‌ലോഡ് ചെയ്യുന്നു…","composer.submitButtonTooltip.send":"അയക്കുക","composer.submitButtonTooltip.stop":"നിർത്തുക","composer.worktreeEnvironment.create":"ലോക്കൽ എൻവയോൺമെൻ്റ് സൃഷ്ടിക്കുക","composer.worktreeEnvironment.default":"ഡിഫോൾട്ട് എൻവയോൺമെൻ്റ്","composer.worktreeEnvironment.error":"എൻവയോൺമെന്‍റുകൾ ലോഡ് ചെയ്യുന്നതിൽ പിശക്","composer.worktreeEnvironment.loading":"എൻവയോൺമെന്‍റുകൾ ലോഡ് ചെയ്യുന്നു…","composer.worktreeEnvironment.title":"ലോക്കൽ എൻവയോൺമെൻ്റ്","composer.worktreeEnvironment.tooltip":"ലോക്കൽ എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കുക","composer.worktreeSetupFailed":"വർക്ക്‌ട്രീ സജ്ജീകരണം പരാജയപ്പെട്ടു. സജ്ജീകരണ സ്ക്രിപ്റ്റിനായി .codex/environments പരിശോധിക്കുക.","compoundButton.secondaryAction":"സെക്കൻഡറി ആക്ഷൻ","copyButton.copied":"പകർത്തി","copyButton.copiedAriaLabel":"പകർത്തി","copyButton.copy":"പകർത്തുക","copyButton.copyAriaLabel":"പകർത്തുക","copyButton.copyCode":"കോഡ് പകർത്തുക","diff.actionButton.revertFile":"ഫയൽ തിരിച്ചയക്കുക","diff.actionButton.revertHunk":"തിരിച്ചയക്കുക","diff.actionButton.revertSection":"എല്ലാം തിരിച്ചയക്കുക","diff.actionButton.revertSectionLabel":"എല്ലാം തിരിച്ചയക്കുക","diff.actionButton.stageFile":"സ്റ്റേജ് ഫയൽ","diff.actionButton.stageHunk":"സ്റ്റേജ്","diff.actionButton.stageSection":"എല്ലാം സ്റ്റേജ്ചെയ്യുക","diff.actionButton.stageSectionLabel":"എല്ലാം സ്റ്റേജ്ചെയ്യുക","diff.actionButton.unstageFile":"ഫയൽ അൺസ്റ്റേജ് ചെയ്യുക","diff.actionButton.unstageHunk":"അൺസ്റ്റേജ്","diff.actionButton.unstageSection":"എല്ലാം അൺസ്റ്റേജ് ചെയ്യുക","diff.actionButton.unstageSectionLabel":"എല്ലാം അൺസ്റ്റേജ് ചെയ്യുക","diff.fileHeader.toggle":"ഫയൽ ഡിഫ് ടോഗിൾ ചെയ്യുക","electron.onboarding.login.apikey.cancel":"റദ്ദാക്കുക","electron.onboarding.login.apikey.continue":"തുടരുക","electron.onboarding.login.apikey.label":"OpenAI API കീ","electron.onboarding.login.apikey.open":"API കീ എൻ്റർ ചെയ്യുക","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"സൈൻ ഇൻ റദ്ദാക്കുക","electron.onboarding.login.chatgpt.continue":"ChatGPT ഉപയോഗിച്ച് തുടരുക","electron.onboarding.login.devbox":"ഒരു റിമോട്ട് SSH-ലേക്ക് ബന്ധിപ്പിക്കുക","electron.onboarding.login.error":"സൈൻ ഇൻ ചെയ്യാനായില്ല: {rawMessage}","electron.onboarding.login.snake.start":"Snake കളിക്കൂ","electron.onboarding.login.sshConfig.cancel":"റദ്ദാക്കുക","electron.onboarding.login.sshConfig.continue":"തുടരുക","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ഏജന്‍റുകൾക്കൊപ്പം നിർമ്മിക്കുന്നതിനുള്ള ഏറ്റവും മികച്ച മാർഗ്ഗം","electron.onboarding.login.title":"Codex-ലേക്ക് സ്വാഗതം","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"തുടരുക","electron.onboarding.welcome.doubleLimits.description":"Codex ആപ്പ് ലോഞ്ചിന്‍റെ ആഘോഷഭാഗമായി, ഏപ്രിൽ 2 വരെ നിങ്ങൾക്ക് 2 മടങ്ങ് അധികം റേറ്റ് ലിമിറ്റുകൾ ലഭ്യമാണ്.","electron.onboarding.welcome.freego.description":"മാർച്ച് 2 വരെ നിങ്ങളുടെ പ്ലാനിൽ Codex സൗജന്യമായി ഉൾപ്പെടുത്തിയിട്ടുണ്ട് – നമുക്ക് ഒരുമിച്ച് നിർമ്മാണം ആരംഭിക്കാം.","electron.onboarding.welcome.new.title.anon":"സ്വാഗതം!","electron.onboarding.workspace.continue":"തുടരുക","electron.onboarding.workspace.empty":"തുടരുന്നതിനായി ഒരു പ്രോജക്റ്റ് ചേർക്കുക.","electron.onboarding.workspace.listLabel":"ലഭ്യമായ പ്രോജക്റ്റുകൾ","electron.onboarding.workspace.loading":"പ്രോജക്റ്റുകൾ ലോഡ് ചെയ്യുന്നു…","electron.onboarding.workspace.openFolder":"പ്രോജക്റ്റ് ചേർക്കുക","electron.onboarding.workspace.selectAll":"എല്ലാം തിരഞ്ഞെടുക്കുക","electron.onboarding.workspace.skip":"ഒഴിവാക്കുക","electron.onboarding.workspace.skip.error":"പുതിയ പ്രോജക്റ്റ് നിർമ്മിക്കാൻ കഴിഞ്ഞില്ല: {message}","electron.onboarding.workspace.skip.error.unknown":"അജ്ഞാതമായ പിശക്","electron.onboarding.workspace.skipping":"പുതിയ പ്രോജക്റ്റ് നിർമ്മിക്കുന്നു…","electron.onboarding.workspace.subtitle":"തിരഞ്ഞെടുത്ത ഫോൾഡറുകളിലെ ഫയലുകൾ എഡിറ്റ് ചെയ്യാനും കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കാനും Codex-ന് സാധിക്കും.","electron.onboarding.workspace.title":"ഒരു പ്രോജക്റ്റ് തിരഞ്ഞെടുക്കുക","errorPage.list.checkSettings":"നിങ്ങളുടെ IDE ക്രമീകരണങ്ങൾ അപ്ഡേറ്റ് ചെയ്യാൻ ശ്രമിക്കുക","errorPage.list.configToml":"തെറ്റായ ക്രമീകരണങ്ങൾക്ക് നിങ്ങളുടെ config.toml പരിശോധിക്കുക","errorPage.list.downloadExtension":"എക്സറ്റൻഷന്‍റെ മറ്റൊരു പതിപ്പ് ഡൗൺലോഡ് ചെയ്യാൻ ശ്രമിക്കുക","errorPage.list.runInWsl":"അനുയോജ്യതാ പ്രശ്നങ്ങൾ കാണുന്നുണ്ടെങ്കിൽ WSL-ൽ പ്രവർത്തിക്കുന്നത് പ്രവർത്തനരഹിതമാക്കാൻ നിങ്ങളുടെ ക്രമീകരണങ്ങൾ പരിശോധിക്കുക","execApprovalRequest.menu.runAlways":"അതെ, ഈ സെഷനിൽ ഇനി ചോദിക്കേണ്ടതില്ല","execApprovalRequest.menu.runAlwaysWithAmendment":"അതെ, {command} എന്ന് ആരംഭിക്കുന്ന കമാൻഡുകൾക്കായി ഇനി ചോദിക്കരുത്","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"അതെ, ഇതില്‍ ആരംഭിക്കുന്ന കമാൻഡുകൾക്കായി ഇനി ചോദിക്കരുത്","execApprovalRequest.menu.runOnce":"അതെ","execApprovalRequest.prompt":"നിങ്ങൾക്ക് ഈ കമാൻഡ് പ്രവർത്തിപ്പിക്കണമെന്നുണ്ടോ?","execApprovalRequest.reject":"വേണ്ട","execFooter.exitCode":"കോഡിൽ നിന്ന് പുറത്തുകടക്കുക {code}","execFooter.exitCode.unknown":"അറിയില്ല","execFooter.success":"വിജയകരം","feedback.dialog.category.badResult":"മോശം റിസൾട്ട്","feedback.dialog.category.bug":"ബഗ്","feedback.dialog.category.goodResult":"നല്ല റിസൾട്ട്","feedback.dialog.category.other":"മറ്റുള്ളവ","feedback.dialog.category.safetyCheck":"സുരക്ഷാ പരിശോധന","feedback.dialog.descriptionPlaceholder":"പ്രശ്നം ഇവിടെ വിവരിക്കുക","feedback.dialog.dismiss":"ഒഴിവാക്കുക","feedback.dialog.includeLogsLabel":"നിലവിലെ Codex സെഷൻ ലോഗുകൾ ഉൾപ്പെടുത്തുക","feedback.dialog.submit":"സമർപ്പിക്കുക","feedback.dialog.submitError":"നിങ്ങളുടെ ഫീഡ്‌ബാക്ക് സമർപ്പിക്കാൻ ഞങ്ങൾക്ക് കഴിഞ്ഞില്ല. അൽപ്പസമയത്തിനുശേഷം വീണ്ടും ശ്രമിക്കുക.","feedback.dialog.title":"ഫീഡ്ബാക്ക്","feedback.dialog.uploadedMessage.existingIssue":"നിലവിലുള്ള ഓപ്പൺ ഇഷ്യൂ","feedback.dialog.uploadedMessage.openIssue":"ഒരു GitHub ഇഷ്യൂ തുറക്കുക","feedback.dialog.uploadedMessage.withThread":"ഫീഡ്‌ബാക്ക് അപ്‌ലോഡ് ചെയ്‌തു. പ്രശ്‌നം നിലനിൽക്കുകയാണെങ്കിൽ, {openIssueLink} അല്ലെങ്കിൽ ഒരു {existingIssueLink}-ൽ ത്രെഡ് ഐഡി പരാമർശിക്കുകയോ ചെയ്യുക:","feedback.dialog.uploadedTitle":"ഫീഡ്‌ബാക്ക് അപ്‌ലോഡ് ചെയ്‌തു","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename}-നെ നീക്കം ചെയ്യുക","header.back":"തിരികെ പോകുക","header.recentChats":"ടാസ്കുകൾ","header.recentTasks.seeAll":"എല്ലാം കാണുക ({total})","home.header.getPlus":"Plus നേടൂ","home.hero.letsBuild":"നമുക്ക് നിർമ്മിക്കാം","homePage.mainContent":"പ്രധാന ഉള്ളടക്കം","imageAttachment.defaultName":"ചിത്രം","imageAttachment.preview.close":"ഇമേജ് പ്രിവ്യൂ ക്ലോസ് ചെയ്യുക","imageAttachment.removeAriaLabel":"{filename}-നെ നീക്കം ചെയ്യുക","implementPlanRequest.option.implement":"അതെ, ഈ പദ്ധതി നടപ്പിലാക്കുക","implementPlanRequest.prompt":"ഈ പദ്ധതി നടപ്പിലാക്കണോ?","inbox.archived.deleteError":"ആർക്കൈവ് ചെയ്ത റൺ ഇല്ലാതാക്കാൻ കഴിഞ്ഞില്ല","inbox.archived.deleteRun":"ആർക്കൈവ് ചെയ്ത റൺ ഇല്ലാതാക്കുക","inbox.archived.deleteSuccess":"ആർക്കൈവ് ചെയ്ത ത്രെഡ് ഇല്ലാതാക്കി. <settingsLink> ആർക്കൈവ് ചെയ്ത ത്രെഡുകളിൽ</settingsLink> ഇത് കാണുക.","inbox.archived.inlineLabel.auto":"ഈ ത്രെഡ് സ്വയമേവ ആർക്കൈവ് ചെയ്തിരിക്കുന്നു. <learnMoreLink>കൂടുതൽ അറിയുക</learnMoreLink>","inbox.archived.inlineLabel.manual":"ഈ ത്രെഡ് ആർക്കൈവ് ചെയ്തിരിക്കുന്നു.","inbox.archived.noMessageFound":"സന്ദേശങ്ങളൊന്നും കണ്ടെത്തിയില്ല","inbox.automations.createError":"ഓട്ടോമേഷൻ സൃഷ്ടിക്കാനായില്ല","inbox.automations.deleteConfirm.cancel":"റദ്ദാക്കുക","inbox.automations.deleteConfirm.confirm":"ഓട്ടോമേഷൻ ഇല്ലാതാക്കണോ","inbox.automations.deleteConfirm.description":"ഇത് ഓട്ടോമേഷൻ സ്ഥിരമായി നീക്കം ചെയ്യുകയും, ഭാവിയിലുള്ള റണ്ണുകൾ നിർത്തലാക്കുകയും ചെയ്യും.","inbox.automations.deleteConfirm.title":"{name} ഇല്ലാതാക്കണോ?","inbox.automations.deleteError":"ഓട്ടോമേഷൻ ഇല്ലാതാക്കാനായില്ല","inbox.automations.editTooltip":"ഓട്ടോമേഷൻ എഡിറ്റ് ചെയ്യുക","inbox.automations.inProgress":"പുരോഗമിച്ചുകൊണ്ടിരിക്കുന്നു","inbox.automations.new":"പുതിയത്","inbox.automations.newToolbar":"പുതിയ ഓട്ടോമേഷൻ","inbox.automations.pauseTooltip":"ഓട്ടോമേഷൻ താൽക്കാലികമായി നിർത്തുക","inbox.automations.resumeTooltip":"ഓട്ടോമേഷൻ പുനരാരംഭിക്കുക","inbox.automations.startingNow":"ഇപ്പോൾ ആരംഭിക്കുന്നു","inbox.automations.startsIn":"{startTime}-ന് ആരംഭിക്കും","inbox.automations.status.active":"സജീവമാണ്","inbox.automations.status.paused":"താൽക്കാലികമായി നിർത്തി","inbox.automations.status.runs":"{count} റണ്ണുകൾ","inbox.automations.status.started":"{date} ആരംഭിച്ചു","inbox.automations.updateError":"ഓട്ടോമേഷൻ അപ്‌ഡേറ്റ് ചെയ്യാനായില്ല","inbox.automations.workspaceFallback":"-","inbox.filter.all":"എല്ലാം","inbox.filter.ariaLabel":"ഇൻബോക്സ് ഇനങ്ങൾ ഫിൽട്ടർ ചെയ്യുക","inbox.filter.unread":"വായിച്ചിട്ടില്ല","inbox.list.archived":"ആർക്കൈവ് ചെയ്തു","inbox.list.inProgress":"പുരോഗമിച്ചുകൊണ്ടിരിക്കുന്നു","inbox.list.recent":"പൂർത്തിയായി","inbox.list.upNext":"ഷെഡ്യൂൾ ചെയ്തു","inbox.mode.automations":"ഓട്ടോമേഷനുകൾ","inbox.mode.automations.beta":"ബീറ്റ","inbox.noDescription":"വിവരണം നൽകിയിട്ടില്ല","inbox.openThread":"ത്രെഡ് തുറക്കുക","inbox.rightPanel.emptySubtitle":"ഷെഡ്യൂൾ ചെയ്ത ജോലികൾ ക്രമീകരിക്കുന്നതിലൂടെ പ്രവൃത്തികൾ ഓട്ടോമേറ്റ് ചെയ്യുക","inbox.rightPanel.emptySubtitle.learnMore":"ഷെഡ്യൂൾ ചെയ്ത ത്രെഡുകൾ ക്രമീകരിക്കുന്നതിലൂടെ പ്രവൃത്തികൾ ഓട്ടോമേറ്റ് ചെയ്യുക <link>കൂടുതലറിയുക</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# സജീവ ഓട്ടോമേഷൻ} other {# സജീവ ഓട്ടോമേഷനുകൾ}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"വായിക്കാത്ത ഓട്ടോമേഷനുകൾ ഇല്ല","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# വായിക്കാത്ത ഓട്ടോമേഷൻ} other {# വായിക്കാത്ത ഓട്ടോമേഷനുകൾ}}","inbox.rightPanel.emptyTitle":"ഒരു ഇനവും തിരഞ്ഞെടുത്തിട്ടില്ല","inbox.rightPanel.noThread":"ഈ ഇനത്തിന് ത്രെഡ് ഒന്നുമില്ല","inbox.rightPanel.quickStart.header":"ഒരു ടെംപ്ലേറ്റ് ഉപയോഗിച്ച് ആരംഭിക്കുക","inbox.untitled":"തലക്കെട്ടില്ലാത്ത ഇൻബോക്സ് ഇനം","loadingPage.documentationLink":"ഡോക്യുമെൻ്റേഷൻ","loadingPage.errorDescription":"ഇനിപ്പറയുന്ന പിശകോടെ Codex ക്രാഷ് ആയി:","loadingPage.errorDescription.documentation":"Codex എക്സ്റ്റൻഷൻ പുനരാരംഭിക്കുന്നതിന് റീലോഡ് ക്ലിക്ക് ചെയ്യുക, അല്ലെങ്കിൽ കൂടുതൽ സഹായത്തിന് ഞങ്ങളുടെ {documentationLink} സന്ദർശിക്കുക.","loadingPage.errorSignal":"ശ്രമിച്ചുനോക്കാന്‍ ചില കാര്യങ്ങൾ:","loadingPage.errorTitle":"ഒരു പിശക് സംഭവിച്ചു","loadingPage.openConfigToml":"Config.toml തുറക്കുക","loadingPage.reload":"വീണ്ടും ലോഡ് ചെയ്യുക","localConversation.contextCompacted":"സന്ദർഭം സ്വയമേവ ചുരുക്കി","localConversation.contextCompacting":"സന്ദർഭം സ്വയമേവ ചുരുക്കുന്നു","localConversation.finalAssistantMessageDivider":"അവസാന സന്ദേശം","localConversation.forkedFromConversation":"{threadTitle}-ൽ നിന്ന് മാറ്റിയത്","localConversation.merge.autoResolve.failed":"ഓട്ടോ റിസോൾവ് അഭ്യർത്ഥിക്കുന്നതിൽ പരാജയപ്പെട്ടു: {error}","localConversation.merge.autoResolve.sent":"ഓട്ടോ റിസോൾവ് അഭ്യർത്ഥന അയച്ചു","localConversation.merge.autoResolveMerge.missingConversation":"സജീവമായ ഒരു സംഭാഷണമില്ലാതെ തനിയെ പരിഹരിക്കാൻ സാധ്യമല്ല.","localConversation.merge.autoResolveMerge.request":"കൂട്ടിച്ചേർത്ത വൈരുദ്ധ്യങ്ങൾ യാന്ത്രികമായി പരിഹരിക്കുക","localConversation.modelChanged":"മോഡൽ {fromModel}-ൽ നിന്ന് {toModel}-ലേക്ക് മാറ്റി.","localConversation.modelChanged.warning.line1":"സംഭാഷണത്തിനിടയിൽ മോഡലുകൾ മാറ്റുന്നത് പ്രകടനത്തെ ബാധിച്ചേക്കാം.","localConversation.modelChanged.warning.line2":"സന്ദർഭം സ്വയമേവ ചുരുക്കിയേക്കാം.","localConversation.modelRerouted":"നിങ്ങളുടെ അഭ്യർത്ഥന {toModel}-ലേക്ക് തിരിച്ചുവിട്ടു.","localConversation.modelRerouted.warning.line1":"ശ്രദ്ധിക്കുക, സൈബർ ദുരുപയോഗ സാധ്യത കുറയ്ക്കുന്നതിനായി നിങ്ങളുടെ അഭ്യർത്ഥന റീ-റൂട്ട് ചെയ്തു.","localConversation.modelRerouted.warning.line2":"ഇതൊരു തെറ്റാണെന്ന് തോന്നുന്നുണ്ടോ? അവലോകനത്തിനായി ഇവിടെ അപേക്ഷിക്കുക<link>chatgpt.com/cyber</link>അല്ലെങ്കിൽ /feedback വഴി റിപ്പോർട്ട് ചെയ്യുക","localConversation.moveThread.createBranch.label":"ബ്രാഞ്ച് സൃഷ്ടിക്കുക","localConversation.moveToLocal.disabled.branchCheckedOut":"ഈ ബ്രാഞ്ച് മറ്റൊരു വർക്ക് ട്രീയിൽ ഇതിനകം ചെക്ക് ഔട്ട് ചെയ്തിട്ടുണ്ട്","localConversation.moveToLocal.disabled.loading":"ലോഡിംഗ്...","localConversation.moveToLocal.disabled.missingSourceHead":"വർക്ക് ട്രീ HEAD കമ്മിറ്റ് കണ്ടെത്താൻ കഴിയുന്നില്ല","localConversation.moveToLocal.disabled.noWorkspace":"ഈ വർക്ക് ട്രീയ്ക്കായി ലോക്കൽ വർക്ക്‌സ്‌പേസ് കണ്ടെത്തിയില്ല","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"ഇപ്പോൾ മാറ്റാൻ കഴിയില്ല. ലോക്കൽ വർക്ക്‌സ്‌പേസിന്റെ അവസ്ഥ പരിശോധിച്ച് വീണ്ടും ശ്രമിക്കുക.","localConversation.moveToLocal.error.rollbackIssues":"റോൾബാക്ക് പ്രശ്നങ്ങൾ: {issues}","localConversation.moveToLocal.label":"ലോക്കലിലേക്ക് മാറ്റുക","localConversation.moveToLocal.loading.subtitle":"നിങ്ങളുടെ വർക്ക് ട്രീ മാറ്റങ്ങൾ ലോക്കലിലേക്ക് മാറ്റുന്നു…","localConversation.moveToLocal.loading.title":"ലോക്കലിലേക്ക് മാറ്റുന്നു","localConversation.moveToLocal.modal.continue":"തുടരുക","localConversation.moveToLocal.modal.destinationLabel":"ഇതിലേക്ക് നീക്കുക","localConversation.moveToLocal.modal.retry":"വീണ്ടും ശ്രമിക്കുക","localConversation.moveToLocal.modal.subtitle":"ഈ വർക്ക് ട്രീ ബ്രാഞ്ചും സേവ് ചെയ്യാത്ത മാറ്റങ്ങളും നിങ്ങളുടെ ലോക്കൽ ചെക്ക് ഔട്ടിലേക്ക് തിരികെ മാറ്റപ്പെടും.","localConversation.moveToLocal.modal.title":"ലോക്കലിലേക്ക് മാറ്റുക","localConversation.moveToWorktree.error.branchRequired":"വർക്ക് ട്രീ ബ്രാഞ്ച് പേര് നൽകേണ്ടത് നിർബന്ധമാണ്","localConversation.moveToWorktree.error.createWorktree":"വർക്ക് ട്രീ നിർമ്മിക്കുന്നതിൽ പരാജയപ്പെട്ടു: {message}","localConversation.moveToWorktree.error.move":"വർക്ക് ട്രീയിലേക്ക് മാറ്റുന്നതിൽ പരാജയപ്പെട്ടു: {message}","localConversation.moveToWorktree.error.prepareBranch":'"{branch}" എന്ന വർക്ക് ട്രീ ബ്രാഞ്ച് തയ്യാറാക്കുന്നതിൽ പരാജയപ്പെട്ടു: {message}',"localConversation.moveToWorktree.error.rollbackIssues":"റോൾബാക്ക് പ്രശ്നങ്ങൾ: {issues}","localConversation.moveToWorktree.error.unknown":"വർക്ക് ട്രീയിലേക്ക് മാറ്റുന്നതിൽ പരാജയപ്പെട്ടു. വീണ്ടും ശ്രമിക്കുക.","localConversation.moveToWorktree.label":"വർക്ക് ട്രീയിലേക്ക് മാറ്റുക","localConversation.moveToWorktree.loading.subtitle":"നിങ്ങളുടെ വർക്ക് ട്രീ സജ്ജീകരിക്കുകയും ലോക്കൽ മാറ്റങ്ങൾ അവിടേക്ക് നീക്കുകയും ചെയ്യുന്നു…","localConversation.moveToWorktree.loading.title":"വർക്ക് ട്രീയിലേക്ക് മാറ്റുന്നു","localConversation.moveToWorktree.modal.back":"തിരികെ പോകുക","localConversation.moveToWorktree.modal.branchAlreadyExists":"ബ്രാഞ്ച് നിലവിലുണ്ട്","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ബ്രാഞ്ച് നിലവിലുണ്ട്.","localConversation.moveToWorktree.modal.branchesError":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല","localConversation.moveToWorktree.modal.branchesLoading":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യുന്നു…","localConversation.moveToWorktree.modal.branchesRetry":"വീണ്ടും ശ്രമിക്കുക","localConversation.moveToWorktree.modal.continue":"തുടരുക","localConversation.moveToWorktree.modal.defaultBranchError":"വർക്ക് ട്രീ ബ്രാഞ്ച് ഡിഫോൾട്ട് ബ്രാഞ്ചിൽ നിന്ന് വ്യത്യസ്തമായിരിക്കണം.","localConversation.moveToWorktree.modal.localBranchLabel":"ലോക്കൽ ബ്രാഞ്ച്","localConversation.moveToWorktree.modal.localBranchPlaceholder":"ലോക്കൽ ചെക്ക് ഔട്ട് ബ്രാഞ്ച് തിരഞ്ഞെടുക്കുക","localConversation.moveToWorktree.modal.noTargetBranch":"മറ്റ് ലോക്കൽ ബ്രാഞ്ചുകൾ ലഭ്യമല്ല","localConversation.moveToWorktree.modal.retry":"വീണ്ടും ശ്രമിക്കുക","localConversation.moveToWorktree.modal.subtitle":"ഈ ബ്രാഞ്ചും സേവ് ചെയ്യാത്ത എല്ലാ മാറ്റങ്ങളും ഒരു വർക്ക് ട്രീയിലേക്ക് മാറ്റപ്പെടും. ഇതിന് പകരം നിങ്ങൾ ലോക്കലിൽ മറ്റൊരു ബ്രാഞ്ച് ചെക്ക് ഔട്ട് ചെയ്യണം.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"ഈ ത്രെഡിനായി Codex ഒരു പുതിയ വർക്ക് ട്രീ നിർമ്മിക്കും.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"ഒരു വർക്ക് ട്രീ ബ്രാഞ്ച് പേര് തിരഞ്ഞെടുക്കുക. ഡിഫോൾട്ട് ബ്രാഞ്ചിന് പകരം Codex ഇത് ഉപയോഗിക്കും.","localConversation.moveToWorktree.modal.subtitle.loading":"നിലവിലുള്ള വർക്ക് ട്രീക്കായി തിരയുന്നു…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"ഈ ബ്രാഞ്ച് ഒരു വർക്ക് ട്രീയിലേക്ക് മാറ്റപ്പെടും. നിങ്ങളുടെ നിലവിലെ ലോക്കൽ ബ്രാഞ്ച് ചെക്ക് ഔട്ട് ചെയ്ത നിലയിൽ തന്നെ തുടരും.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"ഈ ത്രെഡിനായി Codex നിലവിലുള്ള വർക്ക് ട്രീ വീണ്ടും ഉപയോഗിക്കും.","localConversation.moveToWorktree.modal.title":"വർക്ക് ട്രീയിലേക്ക് മാറ്റുക","localConversation.moveToWorktree.modal.trailingSlashError":"ബ്രാഞ്ചിന്‍റെ പേര്  “/” ൽ അവസാനിക്കരുത്.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"വർക്ക് ട്രീ ബ്രാഞ്ചിന്‍റെ പേര്","localConversation.moveToWorktree.modal.worktreeBranchLabel":"വർക്ക് ട്രീ ബ്രാഞ്ച്","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"പുതിയ ബ്രാഞ്ച്","localConversation.personalityChanged":"{personality} വ്യക്തിത്വത്തിലേക്ക് മാറി","localConversation.planSummary.collapse":"പ്ലാൻ സമ്മറി ചുരുക്കുക","localConversation.planSummary.collapseTooltip":"ചുരുക്കുക","localConversation.planSummary.download":"പ്ലാൻ ഡൗൺലോഡ് ചെയ്യുക","localConversation.planSummary.expand":"പ്ലാൻ സമ്മറി വികസിപ്പിക്കുക","localConversation.planSummary.expandTooltip":"വിപുലീകരിക്കുക","localConversation.planSummary.openInNewWindow":"തുറക്കുക","localConversation.planSummary.openInNewWindow.tooltip":"പുതിയ വിൻഡോയിൽ തുറക്കുക","localConversation.planSummary.title":"പ്ലാൻ","localConversation.planSummary.titleWriting":"റൈറ്റിംഗ് പ്ലാൻ","localConversation.planSummary.viewPlan":"പ്ലാൻ വിപുലീകരിക്കുക","localConversation.previousMessagesSummary":"{count, plural, one {#മുമ്പത്തെ സന്ദേശം} other {# മുമ്പത്തെ സന്ദേശങ്ങൾ}}","localConversation.remoteTaskCreated":"Codex ക്ലൗഡിൽ {taskLink} സൃഷ്ടിച്ചു","localConversation.remoteTaskCreated.task":"ടാസ്ക്","localConversation.scrollToBottomButton":"താഴേക്ക് സ്ക്രോൾ ചെയ്യുക","localConversation.sync.buttonLabel":"ലോക്കലിലേക്ക് കൈമാറുക","localConversation.sync.buttonLabel.tooltip":"ഈ വർക്ക് ട്രീയും നിങ്ങളുടെ ലോക്കൽ ചെക്ക് ഔട്ടും തമ്മിലുള്ള മാറ്റങ്ങൾ കൈമാറുക.","localConversation.sync.modal.loading.title":"മാറ്റങ്ങൾ കൈമാറുന്നു…","localConversation.sync.modal.noChanges":"മാറ്റങ്ങൾ ഇല്ല","localConversation.syncSetup.branchAriaLabel":"ബ്രാഞ്ചിന്‍റെ പേര്","localConversation.syncSetup.branchName":"ബ്രാഞ്ചിന്‍റെ പേര്","localConversation.syncSetup.branchPlaceholder.existing":"നിലവിലുള്ള ബ്രാഞ്ച് തിരഞ്ഞെടുക്കുക","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യുന്നു…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ഇതിനകം ചെക്ക് ഔട്ട് ചെയ്തിട്ടുണ്ട്","localConversation.syncSetup.checkoutClean":"നിലവിൽ {branchName}-ൽ ആണ്","localConversation.syncSetup.checkoutDirty":"നിലവിൽ {branchName}-ൽ ആണ്; സേവ് ചെയ്യാത്ത മാറ്റങ്ങളുണ്ട്","localConversation.syncSetup.checkoutError":"ബ്രാഞ്ച് ചെക്ക് ഔട്ട് പരാജയപ്പെട്ടു: {message}","localConversation.syncSetup.checkoutLabel":"ഇപ്പോൾ ലോക്കലിൽ ചെക്ക് ഔട്ട് ചെയ്യുക","localConversation.syncSetup.checkoutOnLocal":"ലോക്കലിലേക്ക് കൈമാറുക","localConversation.syncSetup.checkoutPending":"ലോക്കൽ സ്റ്റാറ്റസ് പരിശോധിക്കുന്നു…","localConversation.syncSetup.checkoutUnavailable":"ലോക്കൽ വർക്ക്‌സ്‌പേസ് ലഭ്യമായിട്ടില്ല","localConversation.syncSetup.checkoutUnknown":"ലോക്കൽ ബ്രാഞ്ച് ലഭ്യമല്ല","localConversation.syncSetup.continue":"തുടരുക","localConversation.syncSetup.createBranchError":"ഹാൻഡ്-ഓഫ് ബ്രാഞ്ച് സജ്ജീകരിക്കാനായില്ല: {message}","localConversation.syncSetup.error":"എന്തോ പിശക് സംഭവിച്ചു: {message}","localConversation.syncSetup.error.workingTreeMissing":"വർക്ക് ട്രീയുടെ സ്നാപ്പ്ഷോട്ട് എടുക്കാൻ കഴിഞ്ഞില്ല. കൈമാറ്ററ്റത്തിനായി വീണ്ടും ശ്രമിക്കുക.","localConversation.syncSetup.mode.ariaLabel":"ബ്രാഞ്ച് മോഡ് തിരഞ്ഞെടുക്കുക","localConversation.syncSetup.mode.existing":"നിലവിലുള്ള ബ്രാഞ്ച്","localConversation.syncSetup.mode.new":"പുതിയ ബ്രാഞ്ച്","localConversation.syncSetup.noBranches":"ബ്രാഞ്ചുകളൊന്നും കണ്ടെത്തിയില്ല","localConversation.syncSetup.overwriteError":"ബ്രാഞ്ച് നിർമ്മിച്ചെങ്കിലും പൂർണ്ണമായി കൈമാറാൻ കഴിഞ്ഞിട്ടില്ല. ലോക്കലിൽ ചെക്ക് ഔട്ട് ചെയ്യുന്നതിന് മുൻപായി നേരിട്ട് കൈമാറുക.","localConversation.syncSetup.setPrefix":"പ്രിഫിക്സ് സജ്ജമാക്കുക","localConversation.syncSetup.subtitle":"വർക്ക് ട്രീയിലെ മാറ്റങ്ങൾ ലോക്കലായി പരിശോധിച്ച് തിരുത്തുക. <a>കൂടുതലറിയുക</a>","localConversation.syncSetup.success.checkedOut":"ബ്രാഞ്ച് നിർമ്മിക്കുകയും ലോക്കലിൽ ചെക്ക് ഔട്ട് ചെയ്യുകയും ചെയ്തിട്ടുണ്ട്","localConversation.syncSetup.success.notCheckedOut":"ബ്രാഞ്ച് നിർമ്മിച്ചു","localConversation.syncSetup.title":"ഒരു ലോക്കൽ ബ്രാഞ്ചിലേക്ക് കൈമാറുക","localConversation.syncWorktreeError.branchAriaLabel":"ബ്രാഞ്ചിന്‍റെ പേര്","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"കൈമാറുന്നതിനായി ഒരു ബ്രാഞ്ച് തിരഞ്ഞെടുക്കുക, ശേഷം മാറ്റങ്ങൾ വീണ്ടും ലോഡ് ചെയ്യാൻ ശ്രമിക്കുക.","localConversation.syncWorktreeError.branchSetup.title":"ബ്രാഞ്ച് അപ്‌ഡേറ്റ് ചെയ്യുക","localConversation.syncWorktreeError.branchUpdate.cta":"അപ്‌ഡേറ്റ് ചെയ്ത് വീണ്ടും ശ്രമിക്കുക","localConversation.syncWorktreeError.branchUpdate.error":"ബ്രാഞ്ച് അപ്‌ഡേറ്റ് ചെയ്യാനായില്ല: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"എന്തോ പിശക് സംഭവിച്ചു: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ഈ ബ്രാഞ്ച് ഒരു വർക്ക് ട്രീയിലും ചെക്ക് ഔട്ട് ചെയ്തിട്ടില്ല.","localConversation.syncWorktreeV2.applyUncommitted":"പ്രയോഗിക്കുക","localConversation.syncWorktreeV2.applyUncommitted.disabled":"സേവ് ചെയ്യാത്ത മാറ്റങ്ങൾ നടപ്പിലാക്കുന്നതിനായി നിങ്ങൾ ബ്രാഞ്ച് ലോക്കലിൽ ചെക്ക് ഔട്ട് ചെയ്യേണ്ടതുണ്ട്","localConversation.syncWorktreeV2.branches.empty":"ബ്രാഞ്ചുകളൊന്നും കണ്ടെത്തിയില്ല","localConversation.syncWorktreeV2.branches.loading":"ബ്രാഞ്ചുകൾ ലോഡ് ചെയ്യുന്നു…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"ഹാൻഡ്-ഓഫ് ബ്രാഞ്ച് മാറ്റുക","localConversation.syncWorktreeV2.changeBranch.error":"ഹാൻഡ്-ഓഫ് ബ്രാഞ്ച് മാറ്റുന്നതിൽ പരാജയപ്പെട്ടു: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"നടപ്പിലാക്കാനായില്ല","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"വർക്ക് ട്രീ ഓവർറൈറ്റ് ചെയ്യാനായില്ല","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ലോക്കൽ ഓവർറൈറ്റ് പരാജയപ്പെട്ടു","localConversation.syncWorktreeV2.commandError.back":"തിരികെ പോകുക","localConversation.syncWorktreeV2.commandError.body":"കൈമാറുന്നതിനിടെ ഒരു git കമാൻഡ് പരാജയപ്പെട്ടു. ഔട്ട്പുട്ട് പരിശോധിച്ച ശേഷം വീണ്ടും ശ്രമിക്കുക.","localConversation.syncWorktreeV2.commandError.retry":"വീണ്ടും ശ്രമിക്കുക","localConversation.syncWorktreeV2.description":"ലോക്കലും ഈ വർക്ക് ട്രീയും തമ്മിൽ മാറ്റങ്ങൾ കൈമാറുക <a>കൂടുതലറിയുക</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"കൈമാറേണ്ട ദിശ തിരഞ്ഞെടുക്കുക","localConversation.syncWorktreeV2.error.generic":"കൈമാറുന്നതിനിടെ എന്തോ പിശക് സംഭവിച്ചു. വീണ്ടും ശ്രമിക്കുക.","localConversation.syncWorktreeV2.localBranchLabel":"ലോക്കൽ","localConversation.syncWorktreeV2.noChanges":"മാറ്റങ്ങൾ കണക്കാക്കുന്നു","localConversation.syncWorktreeV2.noChanges.summary":"മാറ്റങ്ങൾ ഇല്ല","localConversation.syncWorktreeV2.overwrite.local":"ലോക്കൽ ഓവർറൈറ്റ് ചെയ്യുക","localConversation.syncWorktreeV2.overwrite.worktree":"വർക്ക് ട്രീ ഓവർറൈറ്റ് ചെയ്യുക","localConversation.syncWorktreeV2.partial.action.applyFailed":"മാറ്റങ്ങൾ പ്രയോഗിക്കാൻ കഴിഞ്ഞില്ല","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ലോക്കൽ മാറ്റങ്ങൾ ഓവർറൈറ്റ് ചെയ്യാൻ കഴിഞ്ഞില്ല","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"വർക്ക് ട്രീയിലെ മാറ്റങ്ങൾ ഓവർറൈറ്റ് ചെയ്യാൻ കഴിഞ്ഞില്ല","localConversation.syncWorktreeV2.partial.appliedLabel":"പ്രയോഗിച്ചു","localConversation.syncWorktreeV2.partial.back":"തിരികെ പോകുക","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"തടസ്സങ്ങൾ പരിഹരിച്ച ശേഷം വീണ്ടും ശ്രമിക്കുക.","localConversation.syncWorktreeV2.partial.conflictsLabel":"വൈരുദ്ധ്യങ്ങൾ","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}","localConversation.syncWorktreeV2.partial.retry":"വീണ്ടും ശ്രമിക്കുക","localConversation.syncWorktreeV2.partial.skippedLabel":"ഒഴിവാക്കി","localConversation.syncWorktreeV2.stateFailed.generic":"കൈമാറുന്നതിനായി വർക്ക് ട്രീയിലെ മാറ്റങ്ങൾ ശേഖരിക്കുന്നതിനിടെ എന്തോ പിശക് സംഭവിച്ചു. വീണ്ടും ശ്രമിക്കുക.","localConversation.syncWorktreeV2.stateFailed.title":"വർക്ക് ട്രീയിലെ മാറ്റങ്ങൾ ലോഡ് ചെയ്യാനായില്ല","localConversation.syncWorktreeV2.statusError.diffUnknown":"വർക്ക് ട്രീയിലെ മാറ്റങ്ങൾ ലോഡ് ചെയ്യാനായില്ല","localConversation.syncWorktreeV2.statusError.retry":"വീണ്ടും ശ്രമിക്കുക","localConversation.syncWorktreeV2.statusError.title":"ലോക്കൽ ബ്രാഞ്ചിലെ മാറ്റങ്ങൾ ലോഡ് ചെയ്യാൻ കഴിഞ്ഞില്ല","localConversation.syncWorktreeV2.statusError.unknown":"ബ്രാഞ്ച് സ്റ്റാറ്റസ് ഇപ്പോൾ ലഭ്യമല്ല. വീണ്ടും ശ്രമിക്കുക.","localConversation.syncWorktreeV2.success.apply":"മാറ്റങ്ങൾ വിജയകരമായി നടപ്പിലാക്കി","localConversation.syncWorktreeV2.success.overwrite":"കൈമാറ്റം വിജയകരമായി പൂർത്തിയായി","localConversation.syncWorktreeV2.title":"മാറ്റങ്ങൾ കൈമാറുക","localConversation.syncWorktreeV2.worktreeLabel":"വർക്ക്ട്രീ","localConversation.userInputRequest.inProgress":"{count, plural, one {ചോദ്യം} other {ചോദ്യങ്ങൾ}} ചോദിക്കുന്നു","localConversation.userInputRequest.noAnswer":"മറുപടി നൽകിയിട്ടില്ല","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"ചോദിച്ചു","localConversation.userInputRequest.summary.count":"{count, plural, one {# ചോദ്യം} other {# ചോദ്യങ്ങൾ}}","localConversation.workedFor":"{time}-നായി പ്രവർത്തിച്ചു","localConversation.worktreeBranchSetup.action.create":"സൃഷ്ടിക്കുക","localConversation.worktreeBranchSetup.branchAriaLabel":"ബ്രാഞ്ചിന്‍റെ പേര്","localConversation.worktreeBranchSetup.branchPlaceholder.new":"ഒരു പുതിയ ബ്രാഞ്ച് സൃഷ്ടിക്കുക","localConversation.worktreeBranchSetup.checkoutDisabled":"ഈ ബ്രാഞ്ച് ഇതിനകം {location}-ൽ ചെക്ക് ഔട്ട് ചെയ്തിട്ടുണ്ട്","localConversation.worktreeBranchSetup.checkoutError":"ബ്രാഞ്ച് ചെക്ക് ഔട്ട് പരാജയപ്പെട്ടു: {message}","localConversation.worktreeBranchSetup.createBranchError":"ബ്രാഞ്ച് സജ്ജീകരിക്കാനായില്ല: {message}","localConversation.worktreeBranchSetup.error":"എന്തോ പിശക് സംഭവിച്ചു: {message}","localConversation.worktreeBranchSetup.subtitle":"മാറ്റങ്ങൾ സേവ് ചെയ്യാൻ ഒരു ബ്രാഞ്ച് നിർമ്മിക്കുക, പുഷ് ചെയ്യുക, തുടർന്ന് ഈ വർക്ക് ട്രീയിൽ നിന്ന് ഒരു PR തയ്യാറാക്കുക. <a>കൂടുതലറിയുക</a>","localConversation.worktreeBranchSetup.title":"ഇവിടെ വർക്ക് ചെയ്യുക","localConversationPage.addWorktreeToSidebar.tooltip":"ഈ വർക്ക് ട്രീയിൽ നിന്ന് പുതിയ ത്രെഡുകൾ ആരംഭിക്കുന്നതിനായി ഒരു പ്രോജക്റ്റായി സേവ് ചെയ്യുക","localConversationPage.addWorktreeToSidebarError":"പ്രോജക്റ്റ് ചേർക്കാനായില്ല","localConversationPage.commitAndCreatePrModal.errorTitle":"കമ്മിറ്റും PR സൃഷ്ടിക്കുന്നതും പരാജയപ്പെട്ടു","localConversationPage.commitAndCreatePrModal.successTitle":"കമ്മിറ്റ് ചെയ്യുകയും PR സൃഷ്ടിക്കുകയും ചെയ്തു","localConversationPage.commitAndPushModal.errorTitle":"കമ്മിറ്റും കൂടാതെ പുഷ് പരാജയപ്പെട്ടു","localConversationPage.commitAndPushModal.successTitle":"കമ്മിറ്റ് ചെയ്യുകയും മാറ്റങ്ങൾ പുഷ് ചെയ്യുകയും ചെയ്തു","localConversationPage.commitCreatePr.open":"പുൾ അഭ്യർത്ഥന തുറക്കുക","localConversationPage.commitCreatePr.successTitle":"നിങ്ങളുടെ ഏറ്റവും പുതിയ മാറ്റങ്ങളോടെ PR സൃഷ്ടിച്ചു","localConversationPage.createBranchButtonLabel":"ഇവിടെ ബ്രാഞ്ച് ചെയ്യുക","localConversationPage.createPrModal.baseBranch":"ബെയ്സ്","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR സൃഷ്ടിക്കുക","localConversationPage.createPrModal.createDescription":"നിങ്ങളുടെ ഏറ്റവും പുതിയ മാറ്റങ്ങൾക്കായി ഒരു പുൾ അഭ്യർത്ഥന തുറക്കുക.","localConversationPage.createPrModal.errorTitle":"പുൾ അഭ്യർത്ഥന പരാജയപ്പെട്ടു","localConversationPage.createPrModal.headBranch":"ഹെഡ്","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR തുറക്കുക","localConversationPage.createPrModal.successTitle":"പുൾ അഭ്യർത്ഥന സൃഷ്ടിച്ചു","localConversationPage.createPrModal.title":"പുൾ അഭ്യർത്ഥന സൃഷ്ടിക്കുക","localConversationPage.createPrModal.viewDescription":"ഈ ബ്രാഞ്ചിൽ ഇതിനകം ഒരു പുൾ അഭ്യർത്ഥന നിലവിലുണ്ട്.","localConversationPage.createPrModal.viewTitle":"പുൾ അഭ്യർത്ഥന തയ്യാറാണ്","localConversationPage.createPullRequestAuthGh":"GitHub CLI പ്രാമാണീകരിക്കുക: `gh auth login` പ്രവർത്തിപ്പിക്കുക","localConversationPage.createPullRequestBranchMissing":"ബ്രാഞ്ച് വിവരങ്ങൾ ലഭ്യമല്ല","localConversationPage.createPullRequestButtonLabel":"PR സൃഷ്ടിക്കുക","localConversationPage.createPullRequestButtonLabel.loading":"PR സൃഷ്ടിക്കുന്നു…","localConversationPage.createPullRequestDefaultBranchMissing":"ഡിഫോൾട്ട് ബ്രാഞ്ച് വിവരങ്ങൾ ലഭ്യമല്ല","localConversationPage.createPullRequestError":"പുൾ അഭ്യർത്ഥന സൃഷ്ടിക്കാനായില്ല","localConversationPage.createPullRequestExistingPullRequest":"ഈ ബ്രാഞ്ചിൽ ഇതിനകം ഒരു പുൾ അഭ്യർത്ഥന നിലവിലുണ്ട്","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI സ്റ്റാറ്റസ് ലോഡ് ചെയ്യുന്നു…","localConversationPage.createPullRequestInstallGh":"PR-കൾ സൃഷ്ടിക്കാൻ GitHub CLI (gh) ഇൻസ്റ്റാൾ ചെയ്യുക","localConversationPage.createPullRequestNoRepo":"git റിപ്പോസിറ്ററി കണ്ടെത്തിയില്ല","localConversationPage.createPullRequestPushStatusMissing":"പുഷ് സ്റ്റാറ്റസ് ലോഡ് ചെയ്യുന്നു…","localConversationPage.createPullRequestSetUpstream":"ഒരു PR സൃഷ്ടിക്കുന്നതിന് മുമ്പ് ഈ ബ്രാഞ്ച് പുഷ് ചെയ്യുക","localConversationPage.createPullRequestSuccessToast":"പുൾ അഭ്യർത്ഥന സൃഷ്ടിച്ചു","localConversationPage.createPullRequestSwitchBranch":"ഒരു PR സൃഷ്ടിക്കുന്നതിന് മുമ്പ് ഒരു ഫീച്ചർ ബ്രാഞ്ച് പരിശോധിക്കുക","localConversationPage.error.render":"ലോക്കൽ സംഭാഷണം റെൻഡർ ചെയ്യുന്നതിൽ പിശക്","localConversationPage.error.toast":"സംഭാഷണം കണ്ടെത്താനായില്ല","localConversationPage.forcePushError":"നിർബന്ധിച്ച് പുഷ് ചെയ്യാനായില്ല","localConversationPage.generatePullRequestMessageError":"പുൾ റിക്വസ്റ്റ് ടൈറ്റിലും ബോഡിയും നിർമ്മിക്കാൻ കഴിഞ്ഞില്ല","localConversationPage.generatePullRequestMessageFailed":"പുൾ റിക്വസ്റ്റ് ടൈറ്റിലും ബോഡിയും നിർമ്മിക്കാൻ കഴിഞ്ഞില്ല.","localConversationPage.gitActionResult.branch":"ബ്രാഞ്ച്","localConversationPage.gitActionResult.cancel":"റദ്ദാക്കുക","localConversationPage.gitActionResult.close":"അടയ്ക്കുക","localConversationPage.gitActionResult.tryAgain":"വീണ്ടും ശ്രമിക്കുക","localConversationPage.gitActions":"Git നടപടികൾ","localConversationPage.newChat":"പുതിയ ചാറ്റ്","localConversationPage.openInTarget":"ഇതിൽ തുറക്കുക","localConversationPage.openPrimaryTarget":"തുറക്കുക","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# ടാസ്ക് പൂർത്തിയായി} other {# ടാസ്കുകൾ പൂർത്തിയായി}}-ൽ {completedItems}","localConversationPage.pushAuthError":"പുഷ് പരാജയപ്പെട്ടു: അനുമതി ആവശ്യമാണ്","localConversationPage.pushBranchMissing":"ബ്രാഞ്ച് വിവരങ്ങൾ ലഭ്യമല്ല","localConversationPage.pushButtonLabel":"പുഷ്","localConversationPage.pushButtonLabel.loading":"പുഷ് ചെയ്യുന്നു…","localConversationPage.pushError":"മാറ്റങ്ങൾ വരുത്തുന്നതിൽ പരാജയപ്പെട്ടു","localConversationPage.pushModal.branchLabel":"ബ്രാഞ്ച്","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"റദ്ദാക്കുക","localConversationPage.pushModal.confirm":"പുഷ്","localConversationPage.pushModal.description":"നിങ്ങളുടെ ഏറ്റവും പുതിയ കമ്മിറ്റുകൾ റിമോട്ട് റിപ്പോസിറ്ററിയിലേക്ക് പുഷ് ചെയ്യുക.","localConversationPage.pushModal.errorTitle":"പുഷ് പരാജയപ്പെട്ടു","localConversationPage.pushModal.forcePush":"നിർബന്ധിച്ചുള്ള പുഷ്","localConversationPage.pushModal.successTitle":"പുഷ് പൂർത്തിയായി","localConversationPage.pushModal.title":"മാറ്റങ്ങൾ പുഷ് ചെയ്യുക","localConversationPage.pushModal.tryAgain":"വീണ്ടും ശ്രമിക്കുക","localConversationPage.pushNoUpstream":"ഈ ബ്രാഞ്ച് പുഷ് ചെയ്യുന്നതിന് മുമ്പ് ഒരു അപ്‌സ്ട്രീം സജ്ജമാക്കുക","localConversationPage.pushNoUpstreamError":"പുഷ് പരാജയപ്പെട്ടു: അപ്‌സ്ട്രീം കോൺഫിഗർ ചെയ്‌തിട്ടില്ല","localConversationPage.pushNothingToPush":"പുഷ് ചെയ്യുന്നതിന് പുതിയ കമ്മിറ്റുകളൊന്നുമില്ല","localConversationPage.pushRemoteChangedError":"പുഷ് പരാജയപ്പെട്ടു: റിമോട്ടിന് പുതിയ കമ്മിറ്റുകൾ ഉണ്ട്","localConversationPage.pushRemoteRejectedError":"റിമോട്ട് പുഷ് നിരസിച്ചു","localConversationPage.pushStatusMissing":"പുഷ് സ്റ്റാറ്റസ് ലോഡ് ചെയ്യുന്നു…","localConversationPage.pushSuccessToast":"മാറ്റങ്ങൾ പുഷ് ചെയ്തു","localConversationPage.viewPullRequestButtonLabel":"PR കാണുക","localConversationPage.viewPullRequestButtonLabel.loading":"പുൾ റിക്വസ്റ്റ് ലോഡ് ചെയ്യുന്നു…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# ലിസ്റ്റ്} other {# ലിസ്റ്റുകൾ}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# തിരയൽ} other {# തിരയലുകൾ}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"കണ്ടെത്തുന്നു","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"കണ്ടെത്തി","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} കണ്ടെത്തി","localConversationTurnStory.showContent":"ഉള്ളടക്കം കാണിക്കുക","localConversationTurnStory.streamContent":"ഉള്ളടക്കം സ്ട്രീം ചെയ്യുക","localConversationTurnStory.toggleReasoning":"റീസണിംഗ് കാണിക്കുക","localTaskRow.archiveError":"സംഭാഷണം ആർകൈവ് ചെയ്യാനായില്ല","localTaskRow.resumeError":"ടാസ്‌ക് പുനരാരംഭിക്കാനായില്ല","mermaidDiagram.ariaLabel":"മെർമെയ്ഡ്‌ ഡയഗ്രം","mermaidDiagram.copySource":"മെർമെയ്ഡ് കോപ്പി ചെയ്യുക","mermaidDiagram.originalCode":"മെർമെയ്ഡ്‌ സോഴ്സ് കോഡ്","notifications.permissions.description":"നോട്ടിഫിക്കേഷൻ പെർമിഷനുകൾ ആവശ്യമായി വരുമ്പോൾ മുന്നറിയിപ്പുകൾ കാണിക്കുക","notifications.permissions.label":"അനുമതി അറിയിപ്പുകൾ പ്രവർത്തനക്ഷമമാക്കുക","notifications.turnMode.always":"എല്ലായ്‌പ്പോഴും","notifications.turnMode.description":"ജോലി പൂർത്തിയാകുമ്പോൾ Codex നിങ്ങളെ അറിയിക്കേണ്ട സമയം സജ്ജമാക്കുക","notifications.turnMode.label":"ടേൺ പൂർത്തിയായതിൻ്റെ അറിയിപ്പുകൾ","notifications.turnMode.off":"ഒരിക്കലുമില്ല","notifications.turnMode.unfocused":"ശ്രദ്ധ കേന്ദ്രീകരിക്കാത്തപ്പോൾ മാത്രം","patchApprovalRequest.approve":"അംഗീകരിക്കുക","patchApprovalRequest.menu.allowAlways":"അതെ, ഈ സെഷനിൽ ഇനി ചോദിക്കേണ്ടതില്ല","patchApprovalRequest.menu.allowForSession":"അതെ, ഈ സെഷനിൽ ഇനി ചോദിക്കേണ്ടതില്ല","patchApprovalRequest.menu.allowOnce":"അതെ","patchApprovalRequest.prompt":"നിങ്ങൾക്ക് ഈ മാറ്റങ്ങൾ വരുത്തണമെന്നുണ്ടോ?","patchApprovalRequest.reject":"വേണ്ട","patchApprovalRequest.waitingForApproval":"ഫയലുകൾ എഡിറ്റ് ചെയ്യുന്നതിനുള്ള അനുമതിക്കായി കാത്തിരിക്കുന്നു","pendingRequest.approvalExec.collapse":"ചുരുക്കുക","pendingRequest.approvalExec.expand":"വിപുലീകരിക്കുക","pendingRequestStory.toastAnswer":"ഉത്തരം: {answer}","pendingRequestStory.toastApprovalTitle":"അനുമതി നൽകിയുള്ള മറുപടി","pendingRequestStory.toastFollowupPrompt":"പ്രോംപ്റ്റ്: {prompt}","pendingRequestStory.toastFollowupTitle":"തുടർസന്ദേശം അയച്ചു","pendingRequestStory.toastNoAnswers":"ഉത്തരങ്ങളൊന്നും നൽകിയിട്ടില്ല","pendingRequestStory.toastQuestion":"ചോദ്യം: {question}","pendingRequestStory.toastUnknownDecision":"അറിയില്ല","pendingRequestStory.toastUserInputTitle":"സമർപ്പിച്ച ഉത്തരങ്ങൾ","quickAction.request.codeReview.branches.new":"{to}-ന് അനുബന്ധമായി {from}-ലെ മാറ്റങ്ങൾ അവലോകനം ചെയ്യുക","quickAction.request.codeReview.uncommitted.new":"എന്റെ പൂർത്തിയാകാത്ത മാറ്റങ്ങൾ അവലോകനം ചെയ്യുക","reasoningItem.thinking":"ചിന്തിക്കുന്നു","reasoningItem.thought":"ചിന്തിച്ചു","reasoningItem.thoughtWithElapsed":"{elapsed}-നെ കുറിച്ച് ചിന്തിക്കുന്നു","recentConversations.title":"സമീപകാല സംഭാഷണങ്ങൾ","recentTasks.worktreeInitFailedTitle":"വർക്ക്ട്രീ ആരംഭിക്കാനായില്ല","recentTasks.worktreeSettingUpTitle":"വർക്ക്ട്രീ സജ്ജീകരിക്കുന്നു","requestInputPanel.continue":"തുടരുക","requestInputPanel.dismiss":"ഒഴിവാക്കുക","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ഇവിടെ ടൈപ്പ് ചെയ്യുക","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"വേണ്ട, മറ്റെന്താണ് ചെയ്യേണ്ടതെന്ന് Codex-നോട് പറയുക","requestInputPanel.selectedBadge":"തിരഞ്ഞെടുത്തത്","requestInputPanel.skip":"ഒഴിവാക്കുക","requestInputPanel.submit":"സമർപ്പിക്കുക","review.commit.ariaLabel.includeUnstaged":"സ്റ്റേജ് ചെയ്യാത്തവ ഉൾപ്പെടുത്തുക","review.commit.buttonLabel":"കമ്മിറ്റ്","review.commit.disabled.committing":"കമ്മിറ്റ് ചെയ്യുന്നു…","review.commit.disabled.loadingDiff":"വ്യത്യാസം ലോഡ് ചെയ്യുന്നു…","review.commit.disabled.missingContext":"ഒരു കമ്മിറ്റ് മെസേജ് നിർമ്മിക്കുന്നതിനായി കുറച്ച് വിവരങ്ങൾ ചേർക്കുക","review.commit.disabled.noChanges":"കമ്മിറ്റ് ചെയ്യാൻ മാറ്റങ്ങൾ ഇല്ല","review.commit.disabled.noSelection":"കമ്മിറ്റ് ചെയ്യേണ്ട മാറ്റങ്ങൾ തിരഞ്ഞെടുക്കുക","review.commit.disabled.unavailable":"കമ്മിറ്റ് ഇപ്പോൾ ലഭ്യമല്ല","review.commit.error":"മാറ്റങ്ങൾ വരുത്താനായില്ല","review.commit.form.changesToBeCommitted":"മാറ്റങ്ങൾ","review.commit.form.commitTo":"ബ്രാഞ്ച്","review.commit.form.commitTo.none":"-","review.commit.form.continue":"തുടരുക","review.commit.form.title":"നിങ്ങളുടെ മാറ്റങ്ങൾ സമർപ്പിക്കുക","review.commit.generate.emptyResponse":"ഒരു കമ്മിറ്റ് മെസേജ് നിർമ്മിക്കാൻ കഴിഞ്ഞില്ല.","review.commit.generate.failed":"കമ്മിറ്റ് മെസേജ് നിർമ്മിക്കാനായില്ല: {error}","review.commit.generate.missingPrompt":"കമ്മിറ്റ് മെസേജ് നിർമ്മിക്കുന്നതിനായി കൂടുതൽ വിവരങ്ങൾ ചേർക്കുക.","review.commit.includeUnstaged":"സ്റ്റേജ് ചെയ്യാത്തവ ഉൾപ്പെടുത്തുക","review.commit.loading.description":"കാത്തിരിക്കൂ, ഇതിന് കുറച്ച് നിമിഷങ്ങൾ എടുത്തേക്കാം…","review.commit.loading.step.commit.done":"കമ്മിറ്റ് ചെയ്ത മാറ്റങ്ങൾ","review.commit.loading.step.commit.pending":"മാറ്റങ്ങൾ വരുത്തുന്നു","review.commit.loading.step.createPr.done":"ഒരു പുൾ അഭ്യർത്ഥന സൃഷ്ടിച്ചു","review.commit.loading.step.createPr.pending":"ഒരു പുൾ അഭ്യർത്ഥന സൃഷ്ടിക്കുന്നു","review.commit.loading.step.push.done":"ബ്രാഞ്ച് {branch}-ലേക്ക് പുഷ് ചെയ്തു","review.commit.loading.step.push.pending":"ബ്രാഞ്ച് {branch}-ലേക്ക് പുഷ് ചെയ്യുന്നു","review.commit.loading.title.commit":"മാറ്റങ്ങൾ വരുത്തുന്നു","review.commit.loading.title.createPr":"PR സൃഷ്‌ടിക്കുന്നു","review.commit.loading.title.push":"മാറ്റങ്ങൾ പുഷ് ചെയ്യുന്നു","review.commit.messageLabel":"കമ്മിറ്റ് സന്ദേശം","review.commit.messagePlaceholder":"ഒരു കമ്മിറ്റ് മെസേജ് സ്വയം നിർമ്മിക്കുന്നതിനായി ഇത് കാലിയായി ഇടുക","review.commit.nextSteps":"അടുത്ത ഘട്ടങ്ങൾ","review.commit.nextSteps.commit":"കമ്മിറ്റ്","review.commit.nextSteps.commitAndCreate":"കമ്മിറ്റ് ചെയ്ത് PR സൃഷ്ടിക്കുക","review.commit.nextSteps.commitAndPush":"കമ്മിറ്റ് ചെയ്ത് പുഷ് ചെയ്യുക","review.commit.nextSteps.prRequiresGh":"GitHub CLI ആവശ്യമാണ്: {command}","review.commit.rows.changes":"മാറ്റങ്ങൾ","review.commit.rows.commitCount":"{count, plural, one {# കമ്മിറ്റ്} other {# കമ്മിറ്റുകൾ}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# കമ്മിറ്റ്} other {# കമ്മിറ്റുകൾ}}-ഉം {stats}-ഉം","review.commit.rows.fileCount":"{count, plural, one {# ഫയൽ} other {# ഫയലുകൾ}}","review.commit.state.error.body":"കമ്മിറ്റ് ചെയ്യുമ്പോൾ എന്തോ കുഴപ്പം സംഭവിച്ചു. നിങ്ങളുടെ git സ്റ്റാറ്റസ് പരിശോധിച്ച് വീണ്ടും ശ്രമിക്കുക.","review.commit.state.error.title":"കമ്മിറ്റ് പരാജയപ്പെട്ടു","review.commit.state.success.title":"മാറ്റങ്ങൾ കമ്മിറ്റ് ചെയ്തു","review.commit.untracked.loadingStats":"ട്രാക്ക് ചെയ്യാത്ത ഡിഫ് സ്റ്റാറ്റുകൾ ലോഡ് ചെയ്യുന്നു…","reviewFindingAttachments.count":"{count, plural, one {# കണ്ടെത്തൽ} other {# കണ്ടെത്തലുകൾ}}","settings.agent.configuration.configToml":"നയങ്ങളും കസ്റ്റം മോഡ്","settings.agent.configuration.configToml.description":"ഏജൻ്റ് പെരുമാറ്റം ഇഷ്ടാനുസൃതമാക്കാൻ നിങ്ങളുടെ കോൺഫിഗറേഷൻ എഡിറ്റ് ചെയ്യുക","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.configToml.restartNote":"മാറ്റങ്ങൾ വരുത്തുന്നതിനായി എഡിറ്റിംഗിന് ശേഷം Codex റീസ്റ്റാർട്ട് ചെയ്യുക","settings.agent.configuration.subtitle":"Codex ഉപയോഗിക്കുന്ന എല്ലായിടത്തും ഈ ക്രമീകരണങ്ങൾ ബാധകമാണ്","settings.automations.banner.danger":"നിങ്ങളുടെ ഡിഫോൾട്ട് സാൻഡ്‌ബോക്‌സ് ക്രമീകരണങ്ങളിലാണ് ഓട്ടോമേഷനുകൾ പ്രവർത്തിക്കുന്നത്, അത് നിലവിൽ ഫുൾ ആക്സസ് ആയാണ് സജ്ജീകരിച്ചിരിക്കുന്നത്. ഫുൾ ആക്സസിൽ പശ്ചാത്തല ഓട്ടോമേഷനുകൾ പ്രവർത്തിപ്പിക്കുന്നത് വലിയ റിസ്ക് ഉള്ള കാര്യമാണ്; കാരണം അനുവാദം ചോദിക്കാതെ തന്നെ ഫയലുകളിൽ മാറ്റം വരുത്താനും കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കാനും നെറ്റ്‌വർക്ക് ഉപയോഗിക്കാനും Codex-ന് സാധിക്കും. സാൻഡ്‌ബോക്‌സ് ക്രമീകരണങ്ങൾ വർക്ക് സ്പേസ് റൈറ്റ് ആക്കി മാറ്റുന്നതും, ഏജന്റിന് ഫുൾ ആക്സസ് നൽകേണ്ട കമാൻഡുകൾ തിരഞ്ഞെടുക്കുന്നതിനായി <rulesDocsLink>റൂളുകൾ</rulesDocsLink> ഉപയോഗിക്കുന്നതും പരിഗണിക്കുക.","settings.automations.banner.defaultHowTo.default":"നിങ്ങളുടെ ഡിഫോൾട്ട് സാൻഡ്‌ബോക്‌സ് ക്രമീകരണങ്ങളിലാണ് ഓട്ടോമേഷനുകൾ പ്രവർത്തിക്കുന്നത്. വർക്ക് സ്പേസിന് പുറത്തുള്ള ഫയലുകളിൽ മാറ്റം വരുത്താനോ, നെറ്റ്‌വർക്ക് ഉപയോഗിക്കാനോ, കമ്പ്യൂട്ടറിലെ ആപ്പുകൾ ഉപയോഗിക്കാനോ ആവശ്യപ്പെട്ടാൽ ടൂൾ കോളുകൾ പരാജയപ്പെടും. സാൻഡ്‌ബോക്‌സിന് പുറത്ത് പ്രവർത്തിപ്പിക്കേണ്ട കമാൻഡുകളെ <rulesDocsLink>റൂളുകൾ</rulesDocsLink> ഉപയോഗിച്ച് നിങ്ങൾക്ക് തിരഞ്ഞെടുക്കാവുന്നതാണ്.","settings.automations.banner.defaultHowTo.readOnly":"റീഡ്-ഒൺലി ആയി സജ്ജീകരിച്ചിട്ടുള്ള നിങ്ങളുടെ ഡിഫോൾട്ട് സാൻഡ്‌ബോക്‌സ് ക്രമീകരണങ്ങളിലാണ് ഓട്ടോമേഷനുകൾ പ്രവർത്തിക്കുന്നത്. ഫയലുകളിൽ മാറ്റം വരുത്താനോ, നെറ്റ്‌വർക്ക് ഉപയോഗിക്കാനോ, കമ്പ്യൂട്ടറിലെ ആപ്പുകൾ ഉപയോഗിക്കാനോ ആവശ്യപ്പെട്ടാൽ ടൂൾ കോളുകൾ പരാജയപ്പെടും. സാൻഡ്‌ബോക്‌സ് ക്രമീകരണങ്ങൾ വർക്ക് സ്പേസ് റൈറ്റ് ആക്കി മാറ്റുന്നത് പരിഗണിക്കുക.","settings.automations.cancel":"റദ്ദാക്കുക","settings.automations.create":"സൃഷ്ടിക്കുക","settings.automations.cwdEmpty":"പ്രോജക്റ്റ് ഫോൾഡറുകൾ ലഭ്യമല്ല","settings.automations.cwdLabel":"പ്രോജക്റ്റുകൾ","settings.automations.cwdPlaceholder":"ഒരു ഫോൾഡർ തിരഞ്ഞെടുക്കുക","settings.automations.cwdSubtitle":"ഒരു പ്രത്യേക ബ്രാഞ്ചിൽ ഓട്ടോമേഷൻ പ്രവർത്തിപ്പിക്കണമെന്നുണ്ടെങ്കിൽ, നിങ്ങളുടെ പ്രോംപ്റ്റിൽ അത് വ്യക്തമാക്കാവുന്നതാണ്.","settings.automations.delete":"ഇല്ലാതാക്കുക","settings.automations.dialog.editTitle":"ഓട്ടോമേഷൻ എഡിറ്റ് ചെയ്യുക","settings.automations.dialog.newTitle":"പുതിയ ഓട്ടോമേഷൻ","settings.automations.dialog.subtitle":"ആവർത്തിച്ചുള്ള ടാസ്ക്കുകൾ പശ്ചാത്തലത്തിൽ ഓട്ടോമേറ്റ് ചെയ്യുക. Codex കണ്ടെത്തുന്ന വിവരങ്ങൾ ഇൻബോക്സിൽ ചേർക്കും, റിപ്പോർട്ട് ചെയ്യാൻ ഒന്നുമില്ലെങ്കിൽ ടാസ്ക് സ്വയമേവ ആർക്കൈവ് ചെയ്യും. <learnMoreLink>കൂടുതൽ അറിയുക</learnMoreLink>","settings.automations.dialog.title":"ഓട്ടോമേഷൻ സൃഷ്ടിക്കുക","settings.automations.executionCopy.git":"Git പ്രോജക്റ്റുകൾ നിശ്ചിത ബാക്ക്ഗ്രൗണ്ട് വർക്ക് ട്രീകളിൽ പ്രവർത്തിക്കുന്നു.","settings.automations.executionCopy.local":"തിരഞ്ഞെടുത്ത പ്രോജക്റ്റ് ഡയറക്ടറിയിൽ ഓട്ടോമേഷൻ നേരിട്ട് പ്രവർത്തിക്കുന്നു.","settings.automations.executionCopy.nonGit":"വേർഷൻ കൺട്രോൾ ഇല്ലാത്ത പ്രോജക്റ്റുകൾ ലോക്കലായി പ്രവർത്തിക്കുന്നു, കാരണം വർക്ക് ട്രീകൾക്ക് Git ആവശ്യമാണ്.","settings.automations.executionEnvironment.ariaLabel":"എക്സിക്യൂഷൻ എൻവയോൺമെൻ്റ്","settings.automations.executionEnvironment.label":"എക്സിക്യൂഷൻ എൻവയോൺമെൻ്റ്","settings.automations.executionEnvironment.local":"ലോക്കൽ","settings.automations.executionEnvironment.local.help":"വർക്ക് ട്രീ നിർമ്മിക്കാതെ തന്നെ തിരഞ്ഞെടുത്ത പ്രോജക്റ്റ് ഡയറക്ടറിയിൽ നേരിട്ട് പ്രവർത്തിക്കുന്നു.","settings.automations.executionEnvironment.worktree":"വർക്ക്ട്രീ","settings.automations.executionEnvironment.worktree.help":"നിങ്ങളുടെ നിലവിലെ ചെക്ക് ഔട്ടിനെ മാറ്റമില്ലാതെ നിലനിർത്തിക്കൊണ്ട്, തിരഞ്ഞെടുത്ത പ്രോജക്റ്റിൽ നിന്ന് നിർമ്മിച്ച ഒരു നിശ്ചിത Git വർക്ക് ട്രീയിൽ പ്രവർത്തിക്കുന്നു.","settings.automations.loading":"ലോഡിംഗ്...","settings.automations.nameLabel":"പേര്","settings.automations.namePlaceholder":"സെൻട്രി പ്രശ്നങ്ങൾ പരിശോധിക്കുക","settings.automations.pause":"താൽക്കാലികമായി നിർത്തുക","settings.automations.promptLabel":"പ്രോംപ്റ്റ്","settings.automations.promptPlaceholder":"$Sentry-ൽ ക്രാഷുകൾക്കായി തിരയുക","settings.automations.resume":"പുനരാരംഭിക്കുക","settings.automations.rruleSummaryFallback":"ഇഷ്ടാനുസൃത ഷെഡ്യൂൾ","settings.automations.runNow":"ടെസ്റ്റ്","settings.automations.save":"സംരക്ഷിക്കുക","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"പ്രവൃത്തിദിവസങ്ങൾ","settings.automations.scheduleBadge.weekends":"വാരാന്ത്യങ്ങൾ","settings.automations.scheduleHeader":"ഷെഡ്യൂൾ","settings.automations.scheduleHours":"മണിക്കൂർ","settings.automations.scheduleLabel":"ഓരോ തവണയും റൺ ചെയ്യുക","settings.automations.scheduleMode.daily":"എല്ലാ ദിവസവും","settings.automations.scheduleMode.interval":"ഇടവേള","settings.automations.scheduleModeLabel":"ഷെഡ്യൂൾ തരം","settings.automations.scheduleSummary.daily":"എല്ലാദിവസവും{time}-ന്","settings.automations.scheduleSummary.interval":"എല്ലാ {count}h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ദിവസം} other {#ദിവസം}}","settings.automations.scheduleSummary.intervalDays":"{days}-ന് {interval}","settings.automations.scheduleSummary.intervalHourly":"ഓരോ മണിക്കൂറും","settings.automations.scheduleSummary.singleDay":"{day}{time}-ന്","settings.automations.scheduleSummary.weekdays":"പ്രവൃത്തിദിവസങ്ങളിൽ {time}-ന്","settings.automations.scheduleSummary.weekdaysLabel":"പ്രവൃത്തിദിവസങ്ങൾ","settings.automations.scheduleSummary.weekends":"വാരാന്ത്യങ്ങളിൽ {time}-ന്","settings.automations.scheduleSummary.weekendsLabel":"വാരാന്ത്യങ്ങൾ","settings.automations.scheduleSummary.weekly":"{days}{time}-ന്","settings.automations.scheduleWeekdays":"ഓൺ","settings.automations.weekdayState.excluded":"ഒഴിവാക്കി","settings.automations.weekdayState.included":"ഉൾപ്പെടുത്തി","settings.conversationDetail.steps":"ഘട്ടങ്ങൾ","settings.conversationDetail.steps.description":"കമാൻഡുകളും ഔട്ട്പുട്ടുകളും മറയ്ക്കുക","settings.conversationDetail.stepsWithCommands":"കോഡ് കമാൻഡുകൾ ഉപയോഗിച്ചുള്ള ഘട്ടങ്ങൾ","settings.conversationDetail.stepsWithCommands.description":"കമാൻഡുകൾ കാണിക്കുക, ഔട്ട്പുട്ട് ചുരുക്കുക","settings.conversationDetail.stepsWithOutput":"കോഡ് ഔട്ട്പുട്ടുള്ള ഘട്ടങ്ങൾ","settings.conversationDetail.stepsWithOutput.description":"കമാൻഡുകൾ കാണിക്കുക, ഔട്ട്പുട്ട് വികസിപ്പിക്കുക","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"ആർകൈവ് ചെയ്‌ത ചാറ്റുകൾ ഒന്നുമില്ല.","settings.dataControls.archivedChats.error":"ആർക്കൈവ് ചെയ്ത ചാറ്റുകൾ ലോഡ് ചെയ്യാൻ കഴിഞ്ഞില്ല.","settings.dataControls.archivedChats.loading":"ആർക്കൈവ് ചെയ്ത ചാറ്റുകൾ ലോഡ് ചെയ്യുന്നു…","settings.dataControls.archivedChats.unarchive":"അൺആർക്കൈവ് ചെയ്യുക","settings.dataControls.archivedChats.unarchiveError":"ചാറ്റ് അൺആർക്കൈവ് ചെയ്യാൻ കഴിഞ്ഞില്ല","settings.dataControls.archivedChats.unarchiveSuccess":"ത്രെഡ് അൺആർക്കൈവ് ചെയ്തിരിക്കുന്നു. <viewNowLink>ഇപ്പോൾ കാണുക</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"അൺആർക്കൈവ് ചെയ്ത ത്രെഡ്.","settings.dataControls.archivedChats.untitled":"പേരിടാത്ത ചാറ്റ്","settings.dataControls.archivedChats.viewNow":"ഇപ്പോൾ കാണുക","settings.editRow.headerPlaceholder":"കീ","settings.editRow.removeEntry":"എൻട്രി നീക്കം ചെയ്യുക","settings.editRow.valuePlaceholder":"മൂല്യം","settings.general.appearance":"രൂപം","settings.general.appearance.codeFont":"കോഡ് ഫോണ്ട്","settings.general.appearance.codeFont.description":"ചാറ്റുകളിലും ഡിഫുകളിലും കോഡിനായി ഉപയോഗിക്കുന്ന ഫോണ്ടും വലുപ്പവും ക്രമീകരിക്കുക.","settings.general.appearance.codeFontFamily":"കോഡ് ഫോണ്ട് ഫാമിലി","settings.general.appearance.codeFontSize":"കോഡ് ഫോണ്ട് വലുപ്പം","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"സിസ്റ്റം ട്രാൻസ്ലൂസൻസിക്ക് പകരം വിൻഡോകൾക്ക് സോളിഡ് ബാക്ഗ്രൗണ്ട് നൽകുക","settings.general.appearance.opaqueWindows.label":"വെളിച്ചം കടക്കാത്ത വിൻഡോ ബാക്ഗ്രൗണ്ട് ഉപയോഗിക്കുക","settings.general.appearance.sansFontFamily":"Sans ഫോണ്ട് ഫാമിലി","settings.general.appearance.sansFontFamily.description":"Codex UI-യിൽ ഉപയോഗിക്കുന്ന ഫോണ്ട് ക്രമീകരിക്കുക","settings.general.appearance.sansFontSize":"സാൻസ് ഫോണ്ട് സൈസ്","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-സ്പാർക്ക് ആദ്യമായി പ്രവർത്തിക്കുമ്പോൾ ഫുൾ വിൻഡോ സെലിബ്രേഷൻ ഇഫക്റ്റുകൾ കാണിക്കുക","settings.general.appearance.sparkCelebrationEffects.label":"സ്പാർക്ക് സെലിബ്രേഷൻ ഇഫക്റ്റുകൾ","settings.general.appearance.theme":"തീം","settings.general.appearance.theme.dark":"ഡാർക്ക്","settings.general.appearance.theme.description":"ലൈറ്റ്, ഡാർക്ക് അല്ലെങ്കിൽ നിങ്ങളുടെ സിസ്റ്റത്തിന് അനുയോജ്യമായ രീതിയിൽ മാറ്റുക","settings.general.appearance.theme.light":"ലൈറ്റ്","settings.general.appearance.theme.system":"സിസ്റ്റം","settings.general.appearance.usePointerCursors.description":"ഇന്‍ററാക്ടീവ് ആയ എലമെന്‍റുകൾക്ക് മുകളിലൂടെ കർസർ നീങ്ങുമ്പോൾ അത് ഒരു പോയിന്‍റായി മാറ്റുക","settings.general.appearance.usePointerCursors.label":"പോയിന്‍റർ കർസറുകൾ ഉപയോഗിക്കുക","settings.general.enterBehavior.description":"ഇത് സജീവമാക്കിയാൽ, മൾട്ടിലൈൻ പ്രോംപ്റ്റുകൾ അയക്കാൻ {modifierSymbol} + എൻ്റർ ആവശ്യമാണ്.","settings.general.enterBehavior.label":"ദൈർഘ്യമുള്ള പ്രോംപ്റ്റുകൾ അയക്കാൻ {modifierSymbol} + എൻ്റർ ആവശ്യമാണ്","settings.general.experimentalFeatures":"പരീക്ഷണാടിസ്ഥാനത്തിലുള്ള ഫീച്ചറുകൾ (ബീറ്റ)","settings.general.experimentalFeatures.empty":"ബീറ്റ പരീക്ഷണാടിസ്ഥാനത്തിലുള്ള ഫീച്ചറുകൾ ലഭ്യമല്ല.","settings.general.experimentalFeatures.loading":"പരീക്ഷണാടിസ്ഥാനത്തിലുള്ള ഫീച്ചറുകൾ ലോഡ് ചെയ്യുന്നു…","settings.general.experimentalFeatures.restartNote":"പരീക്ഷണാടിസ്ഥാനത്തിലുള്ള ഫീച്ചർ മാറ്റങ്ങൾ നടപ്പിലാക്കാൻ Codex റീസ്റ്റാർട്ട് ചെയ്യുക","settings.general.experimentalFeatures.toggle":"{featureName} മാറ്റുക","settings.general.followUpQueueMode.description":"Codex പ്രവർത്തിക്കുമ്പോൾ ഫോളോ-അപ്പുകൾ ക്യൂ ചെയ്യുക അല്ലെങ്കിൽ നിലവിലെ റണ്ണിനെ നിയന്ത്രിക്കുക. ഒരു സന്ദേശത്തിന് മാത്രം ഇതിന് വിപരീതമായി ചെയ്യാൻ {invertFollowUpShortcutLabel} അമർത്തുക.","settings.general.followUpQueueMode.interrupt":"സ്റ്റിയർ","settings.general.followUpQueueMode.label":"ഫോളോ-അപ്പ് പെരുമാറ്റം","settings.general.followUpQueueMode.queue":"ക്യൂ","settings.general.notifications":"അറിയിപ്പുകൾ","settings.general.power.preventSleepWhileRunning.description":"Codex ഒരു ത്രെഡ് റൺ ചെയ്യുമ്പോൾ നിങ്ങളുടെ കമ്പ്യൂട്ടർ സജീവമായി നിലനിർത്തുക.","settings.general.power.preventSleepWhileRunning.label":"റൺ ചെയ്യുമ്പോൾ സജീവമായി നിലനിർത്തുക","settings.git.branchPrefix.ariaLabel":"ബ്രാഞ്ച് പ്രിഫിക്സ്","settings.git.branchPrefix.description":"Codex-ൽ പുതിയ ബ്രാഞ്ചുകൾ സൃഷ്ടിക്കുമ്പോൾ ഉപയോഗിക്കുന്ന പ്രിഫിക്സ്","settings.git.branchPrefix.label":"ബ്രാഞ്ച് പ്രിഫിക്സ്","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"ബ്രാഞ്ച് പ്രിഫിക്സ് സേവ് ചെയ്യാനായില്ല","settings.git.branchPrefix.save.success":"ബ്രാഞ്ച് പ്രിഫിക്സ് സേവ് ചെയ്തു","settings.git.commitInstructions.ariaLabel":"കമ്മിറ്റ് നിർദ്ദേശങ്ങൾ","settings.git.commitInstructions.description":"കമ്മിറ്റ് മെസേജ് നിർമ്മാണത്തിനായുള്ള പ്രോംപ്റ്റുകളിൽ ചേർത്തു","settings.git.commitInstructions.label":"കമ്മിറ്റ് നിർദ്ദേശങ്ങൾ","settings.git.commitInstructions.placeholder":"കമ്മിറ്റ് മെസേജിനായുള്ള മാർഗ്ഗനിർദ്ദേശങ്ങൾ ചേർക്കുക…","settings.git.commitInstructions.save":"സംരക്ഷിക്കുക","settings.git.commitInstructions.save.error":"കമ്മിറ്റ് നിർദ്ദേശങ്ങൾ സേവ് ചെയ്യാനായില്ല","settings.git.commitInstructions.save.success":"കമ്മിറ്റ് നിർദ്ദേശങ്ങൾ സേവ് ചെയ്തു","settings.git.forcePush.ariaLabel":"എപ്പോഴും നിർബന്ധിച്ചുള്ള പുഷ് ചെയ്യുക","settings.git.forcePush.description":"Codex-ൽ നിന്ന് പുഷ് ചെയ്യുമ്പോൾ --ഫോഴ്സ് ഒപ്പം ലീസ് ഉപയോഗിക്കുക","settings.git.forcePush.label":"എപ്പോഴും നിർബന്ധിച്ചുള്ള പുഷ് ചെയ്യുക","settings.git.forcePush.save.disabled":"എപ്പോഴും നിർബന്ധിച്ചുള്ള പുഷ് പ്രവർത്തനരഹിതമാക്കുക","settings.git.forcePush.save.enabled":"എപ്പോഴും നിർബന്ധിച്ചുള്ള പുഷ് പ്രവർത്തന സജ്ജമാക്കുക","settings.git.forcePush.save.error":"ഫോഴ്‌സ് പുഷ് ക്രമീകരണം സേവ് ചെയ്യാനായില്ല","settings.git.prInstructions.ariaLabel":"പുൾ റിക്വസ്റ്റ് നിർദ്ദേശങ്ങൾ","settings.git.prInstructions.description":"Codex നിർമ്മിച്ച പുൾ റിക്വസ്റ്റ് ബോഡികളിൽ ചേർത്തിരിക്കുന്നു","settings.git.prInstructions.label":"പുൾ റിക്വസ്റ്റ് നിർദ്ദേശങ്ങൾ","settings.git.prInstructions.placeholder":"പുൾ റിക്വസ്റ്റിനായുള്ള മാർഗ്ഗനിർദ്ദേശങ്ങൾ ചേർക്കുക…","settings.git.prInstructions.save":"സംരക്ഷിക്കുക","settings.git.prInstructions.save.error":"പുൾ റിക്വസ്റ്റ് നിർദ്ദേശങ്ങൾ സേവ് ചെയ്യാനായില്ല","settings.git.prInstructions.save.success":"പുൾ റിക്വസ്റ്റ് നിർദ്ദേശങ്ങൾ സേവ് ചെയ്തു","settings.ide.defaultOpenTarget.description":"ഫയലുകളും ഫോൾഡറുകളും ഡിഫോൾട്ടായി തുറക്കുന്നിടത്ത്","settings.ide.defaultOpenTarget.label":"ഡിഫോൾട്ട് ഓപ്പൺ ഡെസ്റ്റിനേഷൻ","settings.ide.defaultOpenTarget.placeholder":"ലക്ഷ്യങ്ങളൊന്നും കണ്ടെത്തിയില്ല","settings.ide.language.auto":"സ്വയം കണ്ടെത്തുക","settings.ide.language.autoOption":"സ്വയം കണ്ടെത്തുക","settings.ide.language.description":"ആപ്പ് UI-യുടെ ഭാഷ","settings.ide.language.label":"ഭാഷ","settings.ide.language.search":"ഭാഷകൾ തിരയുക","settings.layout.actionButton":"എക്സ്റ്റെൻഷൻ റീസ്റ്റാർട്ട് ചെയ്യുക","settings.layout.actionTitle":"പ്രവർത്തനത്തോടുകൂടിയ ക്രമീകരണം","settings.layout.fullWidthTitle":"ക്രമീകരണങ്ങൾ (മുഴുവൻ വീതിയിൽ)","settings.layout.title":"ക്രമീകരണങ്ങൾ","settings.localEnvironments.actions.add":"നടപടി ചേർക്കുക","settings.localEnvironments.actions.add.description":"ടൂൾബാറിൽ നിന്ന് പ്രവർത്തിപ്പിക്കാൻ പുതിയൊരു കമാൻഡ് സൃഷ്ടിക്കുക.","settings.localEnvironments.actions.add.save":"സംരക്ഷിക്കുക","settings.localEnvironments.actions.empty":"ലോക്കൽ ടൂൾബാറിൽ നിന്ന് കമാൻഡുകൾ പ്രവർത്തിപ്പിക്കുന്നതിന് ഒരു നടപടി ചേർക്കുക.","settings.localEnvironments.actions.icon.debug":"ഡീബഗ്","settings.localEnvironments.actions.icon.run":"റൺ ചെയ്യുക","settings.localEnvironments.actions.icon.test":"ടെസ്റ്റ്","settings.localEnvironments.actions.icon.tool":"ടൂൾ","settings.localEnvironments.actions.item.button.delete":"ഇല്ലാതാക്കുക","settings.localEnvironments.actions.item.command":"ആക്ഷൻ സ്ക്രിപ്റ്റ്","settings.localEnvironments.actions.item.name":"പേര്","settings.localEnvironments.actions.item.platforms":"പ്ലാറ്റ്‌ഫോമുകൾ","settings.localEnvironments.actions.item.platforms.help":"ഒരു പ്രത്യേക OS-ൽ മാത്രം പ്രവർത്തിക്കുക.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"പ്ലാറ്റ്‌ഫോം സെലക്ഷൻ","settings.localEnvironments.actions.item.platforms.specific":"പ്ലാറ്റ്‌ഫോം അധിഷ്ഠിതം","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"ഇല്ലാതാക്കുക","settings.localEnvironments.actions.title":"നടപടികൾ","settings.localEnvironments.breadcrumb.back":"തിരികെ പോകുക","settings.localEnvironments.breadcrumb.edit":"എഡിറ്റ് ചെയ്യുക","settings.localEnvironments.breadcrumb.root":"എൻവയോൺമെന്‍റുകൾ","settings.localEnvironments.environment.actions.description":"ഈ പ്രവർത്തനങ്ങൾക്ക് ഏത് കമാൻഡും പ്രവർത്തിപ്പിക്കാൻ കഴിയും, അവ ഹെഡറിൽ പ്രദർശിപ്പിക്കും.","settings.localEnvironments.environment.actionsLabel":"നടപടികൾ","settings.localEnvironments.environment.create":"ലോക്കൽ എൻവയോൺമെൻ്റ് സൃഷ്ടിക്കുക","settings.localEnvironments.environment.defaultName":"ലോക്കൽ","settings.localEnvironments.environment.edit":"ലോക്കൽ എൻവയോൺമെൻ്റ് എഡിറ്റ് ചെയ്യുക","settings.localEnvironments.environment.empty":"ഈ പ്രോജക്റ്റിനായി ഇതുവരെ ലോക്കൽ എൻവയോൺമെൻ്റ് ക്രമീകരിച്ചിട്ടില്ല.","settings.localEnvironments.environment.name":"പേര്","settings.localEnvironments.environment.setup":"സ്ക്രിപ്റ്റ് സജ്ജീകരിക്കുക","settings.localEnvironments.environment.setup.description":"ഈ സ്ക്രിപ്റ്റ് വർക്ക്ട്രീ സൃഷ്ടിക്കുന്ന സമയത്ത് ഈ സ്ക്രിപ്റ്റ് റൺ ചെയ്യും.","settings.localEnvironments.environment.setup.hint":"പ്രോജക്റ്റ് റൂട്ടിൽ പ്രവർത്തിക്കുന്നു.","settings.localEnvironments.environment.setup.platformOverrides":"പ്ലാറ്റ്‌ഫോം ഓവർറൈഡുകൾ","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} സെറ്റപ്പ് സ്ക്രിപ്റ്റ് സജ്ജീകരിക്കുക","settings.localEnvironments.environment.setup.platformOverrides.description":"ചില പ്രത്യേക OS-കൾക്കായി ഡിഫോൾട്ട് സ്ക്രിപ്റ്റ് മാറ്റിയെഴുതുന്നു.","settings.localEnvironments.environment.setup.platformOverrides.remove":"നീക്കം ചെയ്യുക","settings.localEnvironments.environment.setup.script":"സ്ക്രിപ്റ്റ്","settings.localEnvironments.environment.title":"എൻവയോൺമെൻ്റ് വിശദാംശങ്ങൾ","settings.localEnvironments.file.missing":"ഈ ഫയൽ ആദ്യമായി സൃഷ്ടിക്കാൻ സേവ് ചെയ്യുക.","settings.localEnvironments.file.parseError":"നിലവിലുള്ള ഫയൽ പാഴ്‌സ് ചെയ്യാൻ കഴിയുന്നില്ല. സേവ് ചെയ്യുന്നത് അതിനെ ഓവർറൈറ്റ് ചെയ്യും. ({error})","settings.localEnvironments.file.path":"ഫയൽ: {path}","settings.localEnvironments.file.readError":"ലോക്കൽ എൻവയോൺമെൻ്റ് ഡാറ്റ ലോഡ് ചെയ്യാനായില്ല. ({error})","settings.localEnvironments.file.title":"ലോക്കൽ എൻവയോൺമെൻ്റ് ഫയൽ","settings.localEnvironments.loading.body":"നിങ്ങളുടെ പ്രോജക്റ്റ് കോൺഫിഗറേഷൻ ലഭ്യമാക്കുന്നു.","settings.localEnvironments.loading.title":"ലോക്കൽ എൻവയോൺമെന്‍റുകൾ ലോഡ് ചെയ്യുന്നു","settings.localEnvironments.preview.devOnly":"(DEV മാത്രം)","settings.localEnvironments.preview.save":"സംരക്ഷിക്കുക","settings.localEnvironments.preview.saveError":"ഫയൽ സേവ് ചെയ്യാനായില്ല. ({error})","settings.localEnvironments.preview.title":"പ്രിവ്യൂ","settings.localEnvironments.save.disabled.name":"സേവ് ചെയ്യുന്നതിനായി എൻവയോൺമെൻ്റ് പേര് ചേർക്കുക.","settings.localEnvironments.save.disabled.noChanges":"സേവ് ചെയ്യാൻ മാറ്റങ്ങളൊന്നുമില്ല.","settings.localEnvironments.save.disabled.saving":"സേവ് ചെയ്യുന്നു…","settings.localEnvironments.save.success":"ലോക്കൽ എൻവയോൺമെൻ്റ് സേവ് ചെയ്തു","settings.localEnvironments.unavailable.body":"ഈ പ്രോജക്റ്റിനുള്ള ലോക്കൽ എൻവയോൺമെൻ്റ് ക്രമീകരണങ്ങൾ ലോഡ് ചെയ്യാൻ ഞങ്ങൾക്ക് കഴിഞ്ഞില്ല.","settings.localEnvironments.unavailable.title":"ലോക്കൽ എൻവയോൺമെന്‍റുകൾ ലഭ്യമല്ല","settings.localEnvironments.workspace.add":"പ്രോജക്റ്റ് ചേർക്കുക","settings.localEnvironments.workspace.title":"പ്രോജക്റ്റ്","settings.localEnvironments.workspaceSelect.addLabel":"എൻവയോൺമെൻ്റ് ചേർക്കുക","settings.localEnvironments.workspaceSelect.description":"ഒരു പ്രോജക്റ്റിനായി വർക്ക്‌ട്രീകൾ എങ്ങനെ സജ്ജീകരിക്കാമെന്ന് പ്രാദേശിക എൻവയോൺമെന്‍റുകൾ Codex-നോട് പറയുന്നു. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ഇതുവരെ പ്രോജക്റ്റുകൾ ഒന്നുമില്ല. ലോക്കൽ എൻവയോൺമെന്‍റുകൾ കോൺഫിഗർ ചെയ്യാൻ ഒന്ന് ചേർക്കുക.","settings.localEnvironments.workspaceSelect.errorLabel":"എൻവയോൺമെന്‍റിന് ശ്രദ്ധ ആവശ്യമാണ്","settings.localEnvironments.workspaceSelect.learnMore":"കൂടുതലറിയുക","settings.localEnvironments.workspaceSelect.listLabel":"ലഭ്യമായ പ്രോജക്റ്റുകൾ","settings.localEnvironments.workspaceSelect.loading":"പ്രോജക്റ്റുകൾ ലോഡ് ചെയ്യുന്നു.","settings.localEnvironments.workspaceSelect.loadingLabel":"എൻവയോൺമെൻ്റ് ലോഡ് ചെയ്യുന്നു","settings.localEnvironments.workspaceSelect.title":"ഒരു പ്രോജക്റ്റ് തിരഞ്ഞെടുക്കുക","settings.localEnvironments.workspaceSelect.viewAction":"കാണുക","settings.mcp.addServer":"സെർവർ ചേർക്കുക","settings.mcp.app.configure":"കോൺഫിഗർ ചെയ്യുക","settings.mcp.app.connect":"ബന്ധിപ്പിക്കുക","settings.mcp.apps.refresh":"റീഫ്രഷ് ചെയ്യുക","settings.mcp.detail.addArgument":"ആർഗ്യുമെൻ്റ് ചേർക്കുക","settings.mcp.detail.addEnvVar":"എൻവയോൺമെൻ്റ് വേരിയബിൾ ചേർക്കുക","settings.mcp.detail.addEnvVarPassthrough":"വേരിയബിൾ ചേർക്കുക","settings.mcp.detail.args":"ആർഗ്യുമെൻ്റുകൾ","settings.mcp.detail.back":"തിരികെ പോകുക","settings.mcp.detail.command":"ലോഞ്ച് ചെയ്യാനുള്ള കമാൻഡ്","settings.mcp.detail.cwd":"വർക്കിംഗ് ഡയറക്‌ടറി","settings.mcp.detail.docs":"MCP ഡോക്യുമെൻ്റേഷൻ തുറക്കുക","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"എൻവയോൺമെൻ്റ് വേരിയബിൾ പാസ്‌ത്രൂ","settings.mcp.detail.envVars":"എൻവയോൺമെൻ്റ് വേരിയബിളുകൾ","settings.mcp.detail.http.addEnvHeader":"വേരിയബിൾ ചേർക്കുക","settings.mcp.detail.http.addHeader":"ഹെഡർ ചേർക്കുക","settings.mcp.detail.http.bearerToken":"ബെയറർ ടോക്കൺ env var","settings.mcp.detail.http.envHeaders":"എൻവയോൺമെന്റ് വേരിയബിളുകളിൽ നിന്നുള്ള ഹെഡറുകൾ","settings.mcp.detail.http.headers":"എൻവയോൺമെൻ്റ് വേരിയബിളുകളിൽ നിന്നുള്ള ഹെഡറുകൾ","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"പേര്","settings.mcp.detail.save":"സംരക്ഷിക്കുക","settings.mcp.detail.switchTransportNotice":"നിങ്ങൾക്ക് MCP സെർവർ തരം മാറ്റണമെങ്കിൽ, ആദ്യം അൺഇൻസ്റ്റാൾ ചെയ്യുക.","settings.mcp.detail.titleExisting":"{name} MCP അപ്ഡേറ്റ് ചെയ്യുക","settings.mcp.detail.titleNew":"ഒരു ഇഷ്ടാനുസൃത MCP-യിലേക്ക് കണക്റ്റുചെയ്യുക","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"അൺഇൻസ്റ്റാൾ ചെയ്യുക","settings.mcp.empty":"ഇഷ്ടാനുസൃത MCP സെർവറുകളൊന്നും ബന്ധിപ്പിച്ചിട്ടില്ല","settings.mcp.myServers":"ഇഷ്ടാനുസൃത സെർവറുകൾ","settings.mcp.partnerServer.description.figma":"പൂർണ്ണമായ ഫിഗ്മ കോൺടെക്സ്റ്റ് ഉൾപ്പെടുത്തിക്കൊണ്ട് കൂടുതൽ മികച്ച കോഡ് നിർമ്മിക്കൂ","settings.mcp.partnerServer.description.github":"വർക്ക്ഫ്ലോകൾ ഓട്ടോമേറ്റ് ചെയ്യുന്നതിനും ഡാറ്റ എക്‌സ്‌ട്രാക്റ്റുചെയ്യുന്നതിനും GitHub API-കളുമായി സംയോജിപ്പിക്കുക.","settings.mcp.partnerServer.description.linear":"ലീനിയറിന്‍റെ ഇഷ്യൂ ട്രാക്കിംഗുമായും പ്രോജക്റ്റ് മാനേജ്‌മെന്‍റുമായും സംയോജിപ്പിക്കുക","settings.mcp.partnerServer.description.notion":"ഡോക്സ് വായിക്കൂ, പേജുകൾ അപ്ഡേറ്റ് ചെയ്യൂ, ടാസ്‌ക്കുകൾ മാനേജ് ചെയ്യൂ","settings.mcp.partnerServer.description.playwright":"ഡിസൈൻ നടപ്പിലാക്കുന്നതിനും UI പരിശോധിക്കുന്നതിനും ബ്രൗസർ ഓട്ടോമേഷൻ സംയോജിപ്പിക്കുക.","settings.mcp.partnerServer.install":"ഇൻസ്റ്റാൾ ചെയ്യുക","settings.mcp.partnerServer.installAndAuthenticate":"ഇൻസ്റ്റാൾ ചെയ്ത് പ്രാമാണീകരിക്കുക","settings.mcp.partnerServer.logoAlt":"{label}ലോഗോ","settings.mcp.partnerServer.manage":"മാനേജ് ചെയ്യുക","settings.mcp.partnerServer.vendor":"{vendor}-ൻ്റെ","settings.mcp.recommendedServers":"നിർദ്ദേശിക്കുന്ന സെർവറുകൾ","settings.mcp.restartApp":"റീസ്റ്റാർട്ട് ചെയ്യുക","settings.mcp.restartExtension":"എക്സ്റ്റെൻഷൻ റീസ്റ്റാർട്ട് ചെയ്യുക","settings.mcp.server.enable":"പ്രവർത്തന സജ്ജമാക്കുക","settings.mcp.server.login":"പ്രാമാണീകരിക്കുക","settings.mcp.server.settings":"ക്രമീകരണങ്ങൾ","settings.multiselect.createOption":'"{value}" സൃഷ്ടിക്കുക',"settings.multiselect.removeOption":"നീക്കം ചെയ്യുക","settings.nav.account":"അക്കൗണ്ട്","settings.nav.agent":"കോൺഫിഗറേഷൻ","settings.nav.ariaLabel":"ക്രമീകരണങ്ങൾ","settings.nav.back":"ആപ്പിലേക്ക് മടങ്ങുക","settings.nav.data-controls":"ആർക്കൈവ് ചെയ്ത ത്രെഡുകൾ","settings.nav.environments":"ക്ലൗഡ് എൻവയോൺമെന്‍റുകൾ","settings.nav.externalTooltip":"[alpha] ബ്രൗസറിൽ തുറക്കുന്നു","settings.nav.general-settings":"ജനറൽ","settings.nav.git-settings":"Git","settings.nav.local-environments":"എൻവയോൺമെന്‍റുകൾ","settings.nav.mcp-settings":"MCP സെർവറുകൾ","settings.nav.notImplemented":"[alpha] ആൽഫയിൽ ലഭ്യമല്ല","settings.nav.personalization":"വ്യക്തിഗതമാക്കൽ","settings.nav.skills-settings":"സ്‌കില്ലുകൾ","settings.nav.usage-analytics":"ഉപയോഗവും വിശകലനവും","settings.nav.worktrees":"വർക്ക്ട്രീകൾ","settings.openSourceLicenses.back":"തിരികെ പോകുക","settings.openSourceLicenses.loading":"ലോഡിംഗ്...","settings.openSourceLicenses.missing":"തേർഡ് പാർട്ടി നോട്ടീസുകളൊന്നും കണ്ടെത്താനായില്ല.","settings.openSourceLicenses.notSupported":"ഈ ഹോസ്റ്റിൽ ലഭ്യമല്ല.","settings.openSourceLicenses.rowDescription":"ബണ്ടിൽ ചെയ്ത ഡിപെൻഡൻസികൾക്കുള്ള തേർഡ് പാർട്ടി നോട്ടീസുകൾ","settings.openSourceLicenses.rowLabel":"ഓപ്പൺ സോഴ്സ് ലൈസൻസുകൾ","settings.openSourceLicenses.subtitle":"ഈ ആപ്പിൽ ഉൾപ്പെടുത്തിയിരിക്കുന്ന ഡിപെൻഡൻസികൾക്കുള്ള തേർഡ് പാർട്ടി നോട്ടീസുകൾ","settings.openSourceLicenses.title":"ഓപ്പൺ സോഴ്സ് ലൈസൻസുകൾ","settings.openSourceLicenses.view":"കാണുക","settings.personalization.agents.description":"നിങ്ങൾക്ക് അനുയോജ്യമായ Codex തയ്യാറാക്കുന്ന നിർദ്ദേശങ്ങൾ എഡിറ്റ് ചെയ്യുക. {learnMore}","settings.personalization.agents.learnMore":"കൂടുതലറിയുക","settings.personalization.agents.loadError":"agents.md ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല.","settings.personalization.agents.loading":"agents.md ലോഡ് ചെയ്യുന്നു…","settings.personalization.agents.placeholder":"നിങ്ങളുടെ ഇഷ്ടാനുസൃത നിർദ്ദേശങ്ങൾ ചേർക്കുക…","settings.personalization.agents.retry":"വീണ്ടും ശ്രമിക്കുക","settings.personalization.agents.save":"സംരക്ഷിക്കുക","settings.personalization.agents.save.error":"agents.md സേവ് ചെയ്യാൻ കഴിയുന്നില്ല","settings.personalization.agents.save.success":"agents.md സേവ് ചെയ്തു","settings.personalization.agents.title":"ഇഷ്ടാനുസൃത നിർദ്ദേശങ്ങൾ","settings.personalization.personality.description":"Codex മറുപടികൾക്ക് ഒരു ഡിഫോൾട്ട് ടോൺ തിരഞ്ഞെടുക്കുക","settings.personalization.personality.label":"വ്യക്തിത്വം","settings.sample.contentBody":"സ്ഥിരമായ സ്പെയ്സിംഗ് ഉപയോഗിച്ച് നിങ്ങളുടെ ക്രമീകരണ പാനലുകൾ കമ്പോസ് ചെയ്യാൻ ഈ ലേഔട്ട് ഉപയോഗിക്കുക.","settings.sample.contentTitle":"സാമ്പിൾ ഉള്ളടക്ക ബ്ലോക്ക്","settings.section.account":"അക്കൗണ്ട്","settings.section.agent":"കോൺഫിഗറേഷൻ","settings.section.data-controls":"ആർക്കൈവ് ചെയ്ത ത്രെഡുകൾ","settings.section.environments":"ക്ലൗഡ് എൻവയോൺമെന്‍റുകൾ","settings.section.external":"ആൽഫ സമയത്ത് നിങ്ങളുടെ ബ്രൗസറിൽ തുറക്കുന്നു","settings.section.general-settings":"ജനറൽ","settings.section.git-settings":"Git","settings.section.local-environments":"എൻവയോൺമെന്‍റുകൾ","settings.section.mcp-settings":"MCP സെർവറുകൾ","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"ബാഹ്യ ഉപകരണങ്ങളും ഡാറ്റ ഉറവിടങ്ങളും ബന്ധിപ്പിക്കുക.","settings.section.personalization":"വ്യക്തിഗതമാക്കൽ","settings.section.skills-settings":"സ്‌കില്ലുകൾ","settings.section.unavailable":"ആൽഫയിൽ ഇതുവരെ ലഭ്യമല്ല","settings.section.usage-analytics":"ഉപയോഗവും വിശകലനവും","settings.section.worktrees":"വർക്ക്ട്രീകൾ","settings.threadDetail.description":"ത്രെഡുകളിൽ എത്ര കമാൻഡ് ഔട്ട്പുട്ട് കാണിക്കണമെന്ന് തിരഞ്ഞെടുക്കുക","settings.threadDetail.label":"ത്രെഡ് വിശദാംശങ്ങൾ","settings.worktrees.conversation.untitled":"പേരില്ലാത്ത സംഭാഷണം","settings.worktrees.delete.error":"വർക്ക്ട്രീ ഇല്ലാതാക്കാനായില്ല","settings.worktrees.empty.body":"Codex സൃഷ്ടിച്ച വർക്ക്ട്രീകൾ ഇവിടെ കാണാനാകും.","settings.worktrees.empty.title":"ഇതുവരെ വർക്ക്ട്രീകളൊന്നുമില്ല","settings.worktrees.error.body":"വർക്ക്ട്രീകൾ ലോഡ് ചെയ്യുമ്പോൾ എന്തോ കുഴപ്പം സംഭവിച്ചു.","settings.worktrees.error.retry":"വീണ്ടും ശ്രമിക്കുക","settings.worktrees.error.title":"വർക്ക്ട്രീകൾ ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല","settings.worktrees.loading.body":"വർക്ക്ട്രീ വിശദാംശങ്ങൾ ലഭ്യമാക്കുന്നു.","settings.worktrees.loading.title":"വർക്ക്ട്രീകൾ ലോഡ് ചെയ്യുന്നു","settings.worktrees.repository.loading":"റിപ്പോസിറ്ററി മെറ്റാഡാറ്റ ലോഡ് ചെയ്യുന്നു…","settings.worktrees.repository.unknown":"അറിയപ്പെടാത്ത റിപ്പോസിറ്ററി","settings.worktrees.row.conversations":"സംഭാഷണങ്ങൾ","settings.worktrees.row.conversations.empty":"ഈ വർക്ക്ട്രീയിലേക്ക് സംഭാഷണങ്ങളൊന്നും ലിങ്ക് ചെയ്തിട്ടില്ല.","settings.worktrees.row.conversations.loading":"സംഭാഷണങ്ങൾ ലോഡ് ചെയ്യുന്നു…","settings.worktrees.row.delete":"ഇല്ലാതാക്കുക","settings.worktrees.row.title":"വർക്ക്ട്രീ","sidebarElectron.addWorkspaceRoot":"പുതിയ പ്രോജക്റ്റ് ചേർക്കുക","sidebarElectron.archiveThread":"ത്രെഡ് ആർകൈവ് ചെയ്യുക","sidebarElectron.archiveThreadError":"ത്രെഡ് ആർക്കൈവ് ചെയ്യാനായില്ല","sidebarElectron.collapseFolder":"ഫോൾഡർ ചുരുക്കുക","sidebarElectron.createStableWorktree":"സ്ഥിരമായ വർക്ക് ട്രീ നിർമ്മിക്കുക","sidebarElectron.createStableWorktree.dialog.ariaLabel":"പ്രോജക്‌റ്റിൻ്റെ പേര്","sidebarElectron.createStableWorktree.dialog.cancel":"റദ്ദാക്കുക","sidebarElectron.createStableWorktree.dialog.create":"സൃഷ്ടിക്കുക","sidebarElectron.createStableWorktree.dialog.placeholder":"പ്രോജക്‌റ്റിൻ്റെ പേര്","sidebarElectron.createStableWorktree.dialog.subtitle":"HEAD-ൽ നിന്ന് ഒരു പുതിയ git വർക്ക് ട്രീ നിർമ്മിക്കുക, അതൊരു പ്രോജക്റ്റായി ചേർക്കുക, നിങ്ങൾ നീക്കം ചെയ്യുന്നത് വരെ അത് നിലനിർത്തുക.","sidebarElectron.createStableWorktree.dialog.title":"വർക്ക് ട്രീ നിർമ്മിച്ച് ഒരു പ്രോജക്റ്റായി സേവ് ചെയ്യുക","sidebarElectron.createStableWorktree.error":"സ്ഥിരമായ വർക്ക് ട്രീ നിർമ്മിക്കുന്നതിൽ പരാജയപ്പെട്ടു: {message}","sidebarElectron.debugNavLink":"ഡീബഗ്","sidebarElectron.editWorkspaceRootOptionName":"പേര് എഡിറ്റ് ചെയ്യുക","sidebarElectron.expandFolder":"ഫോൾഡർ വിപുലീകരിക്കുക","sidebarElectron.groupByMenu.recency":"സമയക്രമമനുസരിച്ചുള്ള പട്ടിക","sidebarElectron.groupByMenu.title":"സംഘടിപ്പിക്കുക","sidebarElectron.groupByMenu.workspace":"പ്രോജക്റ്റ് പ്രകാരം","sidebarElectron.inboxRouteNavLink":"ഓട്ടോമേഷനുകൾ","sidebarElectron.markThreadUnread":"വായിക്കാത്തതായി അടയാളപ്പെടുത്തുക","sidebarElectron.missingWorkspaceRoot":"ഈ പ്രോജക്റ്റ് ഫോൾഡർ ഇല്ലാതാക്കുകയോ മാറ്റുകയോ ചെയ്തിരിക്കുന്നു","sidebarElectron.newThread":"പുതിയ ത്രെഡ്","sidebarElectron.newThreadInGroup":"{folder}-ൽ പുതിയൊരു ത്രെഡ് ആരംഭിക്കുക","sidebarElectron.noRecentThreads":"സമീപകാല ത്രെഡുകൾ ഒന്നുമില്ല","sidebarElectron.noTasks":"ത്രെഡുകളൊന്നുമില്ല","sidebarElectron.noTasks.start":"പുതിയ പ്രോജക്റ്റ് ചേർക്കുക","sidebarElectron.noTasksWithFilter":"ഫിൽട്ടറുകളുമായി പൊരുത്തപ്പെടുന്ന ത്രെഡുകളൊന്നുമില്ല","sidebarElectron.pinnedThreads":"പിൻ ചെയ്ത ത്രെഡുകൾ","sidebarElectron.recentNavLink":"ത്രെഡുകൾ","sidebarElectron.recentThreads":"സമീപകാല ത്രെഡുകൾ","sidebarElectron.removeWorkspaceRootOption":"നീക്കം ചെയ്യുക","sidebarElectron.renameThread":"ത്രെഡിന്‍റെ പേര് മാറ്റുക","sidebarElectron.renameThreadDialogAriaLabel":"ത്രെഡ് ടൈറ്റിൽ","sidebarElectron.renameThreadDialogCancel":"റദ്ദാക്കുക","sidebarElectron.renameThreadDialogPlaceholder":"ഒരു ശീർഷകം ചേർക്കുക…","sidebarElectron.renameThreadDialogSave":"സംരക്ഷിക്കുക","sidebarElectron.renameThreadDialogSubtitle":"ചെറുതും തിരിച്ചറിയാവുന്നതുമായി സൂക്ഷിക്കുക.","sidebarElectron.renameThreadDialogTitle":"ത്രെഡിന്‍റെ പേര് മാറ്റുക","sidebarElectron.renameThreadError":"ത്രെഡിന്‍റെ പേര് മാറ്റാനായില്ല","sidebarElectron.renameWorkspaceRootOptionLabel":"ഡിസ്പ്ലേ പേര്","sidebarElectron.showLess":"കുറച്ച് കാണിക്കുക","sidebarElectron.showMenu.all":"എല്ലാ ത്രെഡുകളും","sidebarElectron.showMenu.relevant":"പ്രസക്തമായത്","sidebarElectron.showMenu.relevantHint":"നിലവിലെ ബ്രാഞ്ച്, വർക്ക്‌ട്രീകൾ അല്ലെങ്കിൽ നിങ്ങളുടെ ശ്രദ്ധ ആവശ്യമുള്ള മറ്റ് ത്രെഡുകൾ എന്നിവയ്ക്കുള്ള അടുത്തകാലത്തെ സന്ദേശങ്ങൾ മാത്രം കാണിക്കുക","sidebarElectron.showMenu.title":"കാണിക്കുക","sidebarElectron.showMenu.tooltip":"ത്രെഡുകൾ ഫിൽട്ടർ ചെയ്യുക, ക്രമീകരിക്കുക, ഓർഗനൈസ് ചെയ്യുക","sidebarElectron.showMenu.trigger":"സൈഡ്‌ബാർ ത്രെഡുകൾ ഫിൽട്ടർ ചെയ്യുക","sidebarElectron.showMore":"കൂടുതൽ കാണിക്കുക","sidebarElectron.skillsAppsRouteNavLink":"സ്കിൽസും ആപ്പുകളും","sidebarElectron.skillsRouteNavLink":"സ്കില്ലുകൾ","sidebarElectron.sortMenu.created":"സൃഷ്ടിച്ചു","sidebarElectron.sortMenu.title":"ഇപ്രകാരം തരംതിരിക്കുക","sidebarElectron.sortMenu.updated":"അപ്ഡേറ്റ് ചെയ്തത്","sidebarElectron.taskNavigation":"ഓട്ടോമേഷൻ ഫോൾഡറുകൾ","sidebarElectron.tasksInFolder":"{folder}-ലെ ഓട്ടോമേഷനുകൾ","sidebarElectron.workspaceOptions":"{folder}-നായുള്ള പ്രോജക്റ്റ് ആക്ഷനുകൾ","sidebarElectron.worktreeGroupTooltip":"ഇതൊരു git വർക്ക്‌ട്രീ ആണ്","skills.appsPage.apps.enableToggle":"ആപ്പ് പ്രവർത്തനക്ഷമമാക്കുക","skills.appsPage.apps.installOnChatGpt":"ChatGPT-യിൽ ഇൻസ്റ്റാൾ ചെയ്യുക","skills.appsPage.apps.manageOnChatGpt":"ChatGPT-യിൽ മാനേജ് ചെയ്യുക","skills.appsPage.apps.noDescription":"വിവരണം ഇല്ല","skills.appsPage.createSkill":"പുതിയ സ്‌കിൽ","skills.appsPage.empty.apps":"ആപ്പുകളൊന്നും കണ്ടെത്തിയില്ല.","skills.appsPage.empty.discoverApps":"പുതിയ ആപ്പുകളൊന്നും കണ്ടെത്താനില്ല","skills.appsPage.empty.installedApps":"ഇൻസ്റ്റാൾ ചെയ്ത ആപ്പുകളൊന്നുമില്ല","skills.appsPage.empty.skills":"സ്കില്ലുകൾ ഒന്നും കണ്ടെത്തിയില്ല","skills.appsPage.heading":"സ്കിൽസും ആപ്പുകളും","skills.appsPage.search.all":"സ്കിൽസും ആപ്പുകളും തിരയുക","skills.appsPage.search.all.label":"സ്കിൽസും ആപ്പുകളും തിരയുക","skills.appsPage.search.apps":"ആപ്പുകൾ തിരയുക","skills.appsPage.search.apps.label":"ആപ്പുകൾ തിരയുക","skills.appsPage.search.skills":"സ്കില്ലുകൾ തിരയുക","skills.appsPage.search.skills.label":"സ്കില്ലുകൾ തിരയുക","skills.appsPage.section.apps":"ആപ്പുകൾ","skills.appsPage.section.apps.seeAll":"എല്ലാ {count} ആപ്പുകളും കാണുക","skills.appsPage.section.discover":"കണ്ടെത്തുക","skills.appsPage.section.installedApps":"ഇൻസ്റ്റാൾ ചെയ്തു","skills.appsPage.section.skills":"സ്‌കില്ലുകൾ","skills.appsPage.section.skills.seeAll":"എല്ലാ {count} സ്കിൽസും കാണുക","skills.appsPage.subheading":"Codex-ന് സൂപ്പർ പവറുകൾ നൽകുക. <link>കൂടുതലറിയുക</link>","skills.appsPage.tab.apps":"ആപ്പുകൾ","skills.appsPage.tab.recommended":"നിർദ്ദേശിക്കുന്നത്","skills.appsPage.tab.skills":"സ്‌കില്ലുകൾ","skills.card.contentsError":"സ്‌കിൽ ഉള്ളടക്കങ്ങൾ ലോഡ് ചെയ്യാൻ കഴിയുന്നില്ല.","skills.card.disable":"പ്രവർത്തനരഹിതമാക്കുക","skills.card.disableSuccess":"{skillName} സ്കിൽ പ്രവർത്തനരഹിതമാക്കി","skills.card.disabledBadge":"പ്രവർത്തനരഹിതമാക്കി","skills.card.enable":"പ്രവർത്തന സജ്ജമാക്കുക","skills.card.enableSuccess":"{skillName} സ്കിൽ പ്രവർത്തനക്ഷമമാക്കി","skills.card.loadingContents":"സ്‌കിൽ ഉള്ളടക്കങ്ങൾ ലോഡ് ചെയ്യുന്നു...","skills.card.more":"കൂടുതൽ നടപടികൾ","skills.card.open":"തുറക്കുക","skills.card.removeFailed":"സ്‌കിൽ അൺഇൻസ്റ്റാൾ ചെയ്യാനായില്ല","skills.card.removeSuccess":"{skillName} സ്കിൽ അൺഇൻസ്റ്റാൾ ചെയ്തു","skills.card.toggleEnabledError":"സ്‌കിൽ അപ്‌ഡേറ്റ് ചെയ്യാനായില്ല","skills.card.try":"ശ്രമിച്ചുനോക്കൂ","skills.card.trySkill":"സ്‌കിൽ പരീക്ഷിക്കുക","skills.card.uninstall":"അൺഇൻസ്റ്റാൾ ചെയ്യുക","skills.hero.dotLabel":"സ്ലൈഡ് {index} എന്നതിലേക്ക് പോകുക","skills.hero.next":"അടുത്ത ഫീച്ചർ ചെയ്ത സ്‌കിൽ","skills.hero.trySkill":"സ്‌കിൽ പരീക്ഷിക്കുക","skills.page.createSkill":"പുതിയ സ്‌കിൽ","skills.page.empty":"സ്കില്ലുകൾ ഒന്നും കണ്ടെത്തിയില്ല","skills.page.filteredEmpty":"നിങ്ങളുടെ ഫിൽട്ടറുകളുമായി പൊരുത്തപ്പെടുന്ന സ്കില്ലുകൾ ഒന്നുമില്ല","skills.page.filteredEmptyDescription":"നിങ്ങളുടെ തിരയൽ അല്ലെങ്കിൽ സ്കോപ്പ് ഫിൽട്ടറുകൾ ക്രമീകരിക്കാൻ ശ്രമിക്കുക","skills.page.heading":"സ്‌കില്ലുകൾ","skills.page.loading":"സ്കില്ലുകൾ ലോഡ് ചെയ്യുന്നു…","skills.page.refreshSkills":"റീഫ്രഷ് ചെയ്യുക","skills.page.refreshSkillsToUseNew":"പുതിയ സ്കില്ലുകൾ ഉപയോഗിക്കുന്നതിനായി റിഫ്രഷ് ചെയ്യുക","skills.page.search":"സ്കില്ലുകൾ തിരയുക","skills.page.search.label":"സ്കില്ലുകൾ തിരയുക","skills.page.subheading":"Codex-ന് സൂപ്പർ പവറുകൾ നൽകുക. <link>കൂടുതലറിയുക</link>","skills.preview.copyPrompt":"പ്രോംപ്റ്റ് പകർത്തുക","skills.preview.examplePrompt":"മാതൃകാ പ്രോംപ്റ്റ്","skills.recommended.error":"നിർദ്ദേശിക്കുന്ന സ്കില്ലുകൾ ലോഡ് ചെയ്യാനായില്ല","skills.recommended.install":"ഇൻസ്റ്റാൾ ചെയ്യുക","skills.recommended.installSkill":"സ്കിൽ ഇൻസ്റ്റാൾ ചെയ്യുക","skills.recommended.installSuccess":"{skillName} സ്കിൽ ഇൻസ്റ്റാൾ ചെയ്തു","skills.recommended.installed":"ഇൻസ്റ്റാൾ ചെയ്തു","skills.scope.admin":"അഡ്മിൻ","skills.scope.adminInstalled":"അഡ്മിൻ ഇൻസ്റ്റാൾ ചെയ്തു","skills.scope.builtIn":"സിസ്റ്റം","skills.scope.personal":"പേഴ്സണൽ","skills.scope.repo":"റിപ്പോ","skills.scope.system":"സിസ്റ്റം","skills.scope.team":"ടീം","skills.scope.user":"ഉപയോക്താവ്","skills.section.installed":"ഇൻസ്റ്റാൾ ചെയ്തു","skills.section.recommended":"നിർദ്ദേശിക്കുന്നത്","story.slidingToggle.existing":"നിലവിലുള്ളവ","story.slidingToggle.fromLocal":"ലോക്കലിൽ നിന്ന്","story.slidingToggle.new":"പുതിയത്","story.slidingToggle.toLocal":"ലോക്കലിലേക്ക്","terminal.close":"ടെർമിനൽ അടയ്ക്കുക","terminal.title":"ടെർമിനൽ","thinkingShimmer.default":"ചിന്തിക്കുന്നു","threadEnvIcon.cloudTooltip":"ഈ സംഭാഷണം Codex ക്ലൗഡിലാണ് പ്രവർത്തിക്കുന്നത്.","threadEnvIcon.localTooltip":"ഈ സംഭാഷണം ലോക്കലായി റൺ ചെയ്യുന്നു.","threadEnvIcon.worktreeTooltip":"ഈ സംഭാഷണം ഒരു ലോക്കൽ git വർക്ക്ട്രീയിലാണ് നടക്കുന്നത്.","threadHeader.archiveConfirmCancel":"റദ്ദാക്കുക","threadHeader.archiveConfirmConfirm":"ആർകൈവ്","threadHeader.archiveConfirmSubtitle":"നിങ്ങളുടെ ആർക്കൈവ് ചെയ്ത ത്രെഡുകളിൽ ഇത് പിന്നീട് കണ്ടെത്താം.","threadHeader.archiveConfirmTitle":"ത്രെഡ് ആർകൈവ് ചെയ്യുക","threadHeader.copyAppLink":"Deeplink പകർത്തുക","threadHeader.copySessionId":"സെഷൻ ID പകർത്തുക","threadHeader.copyWorkingDirectory":"വർക്കിംഗ് ഡയറക്‌ടറി പകർത്തുക","threadHeader.forkIntoLocal":"ലോക്കലിലേക്ക് മാറ്റുക","threadHeader.forkIntoWorktree":"പുതിയ വർക്ക് ട്രീയിലേക്ക് മാറ്റുക","threadHeader.forkPendingWorktreePrompt":"ഈ സംഭാഷണം ഒരു പുതിയ വർക്ക് ട്രീയിലേക്ക് മാറ്റുക.","threadHeader.forkPendingWorktreeTitle":"മാറ്റപ്പെട്ട സംഭാഷണം","threadHeader.forkThreadError":"ത്രെഡ് മാറ്റുന്നതിൽ പരാജയപ്പെട്ടു","threadHeader.forkThreadRequiresGitRepo":"പുതിയ വർക്ക് ട്രീയിലേക്ക് മാറ്റുന്നതിന് ഒരു git റിപ്പോസിറ്ററി ആവശ്യമാണ്","threadHeader.moreActions":"ത്രെഡ് നടപടികൾ","threadPage.newThread":"പുതിയ ത്രെഡ്","threadPage.runAction.changeEnvironment":"എൻവയോൺമെൻ്റ് മാറ്റുക","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} നടപടികൾ","threadPage.runAction.environmentSelector.label":"എൻവയോൺമെൻ്റ് തിരഞ്ഞെടുക്കുക","threadPage.runAction.label":"റൺ ചെയ്യുക","threadPage.runAction.missing.label":"ഒരു റൺ നടപടി സജ്ജമാക്കുക","threadPage.runAction.setup.commandLabel":"റണ്‍ ചെയ്യാനുള്ള കമാൻഡ്","threadPage.runAction.setup.description":"ഡിപൻഡൻസികൾ എങ്ങനെ ഇൻസ്റ്റാൾ ചെയ്യാമെന്നും നിങ്ങളുടെ ആപ്പ് എങ്ങനെ ആരംഭിക്കാമെന്നും Codex-നോട് പറയുക.","threadPage.runAction.setup.editMore":"എൻവയോൺമെൻ്റ് ക്രമീകരണങ്ങൾ","threadPage.runAction.setup.placeholder":"ഉദാ: npm install npm run","threadPage.runAction.setup.submit":"സേവ് ചെയ്ത് റൺ ചെയ്യുക","threadPage.runAction.setup.title":"റൺ ചെയ്യുക","threadPage.runAction.tooltip.withEnvironment":"{environmentName} നടപടികൾ","threadPage.toggleDiffPanel":"ഡിഫ് പാനൽ ടോഗിൾ ചെയ്യുക","threadPage.toggleTerminal":"ടെർമിനൽ മാറ്റുക","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ഫോൾഡർ തുറക്കുക","toolSummaryForCmd.exploredFiles":"<verb>ലിസ്റ്റ് ചെയ്ത</verb> ഫയലുകൾ","toolSummaryForCmd.exploredFilesInPath":"{path}-ൽ <verb>ലിസ്റ്റ് ചെയ്ത</verb> ഫയലുകൾ","toolSummaryForCmd.exploringFiles":"ഫയലുകൾ <verb>ലിസ്റ്റ് ചെയ്യുന്നു</verb>","toolSummaryForCmd.exploringFilesInPath":"{path}-ൽ ഫയലുകൾ <verb>ലിസ്റ്റ് ചെയ്യുന്നു</verb>","toolSummaryForCmd.finishedBackgroundTerminal":"ബാക്ക്ഗ്രൗണ്ട് ടെർമിനൽ പൂർത്തിയായി","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"ബാക്ക്ഗ്രൗണ്ട് ടെർമിനൽ {command}-ഓടെ പൂർത്തിയായി","toolSummaryForCmd.ranGenericCommand":"<status>കമാൻഡ് പ്രവർത്തിപ്പിച്ചു</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"{command}{timer} <status>റൺ ചെയ്തു</status>","toolSummaryForCmd.read":"{path} <verb>റീഡ് ചെയ്യുക</verb>","toolSummaryForCmd.runningGenericCommand":"<status>കമാൻഡ് പ്രവർത്തിപ്പിക്കുന്നു</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}-ന്","toolSummaryForCmd.searchedFor":"{query} എന്നതിനായി <verb>തിരഞ്ഞു</verb>","toolSummaryForCmd.searchedForFiles":"ഫയലുകൾക്കായി <verb>തിരഞ്ഞു</verb>","toolSummaryForCmd.searchedForInPath":"{path}-ൽ {query} എന്നതിനായി <verb>തിരഞ്ഞു</verb>","toolSummaryForCmd.searchingFor":"{query} എന്നതിനായി <verb>തിരയുന്നു</verb>","toolSummaryForCmd.searchingForFiles":"ഫയലുകൾക്കായി <verb>തിരയുന്നു</verb>","toolSummaryForCmd.searchingForInPath":"{path}-ൽ {query} എന്നതിനായി <verb>തിരയുന്നു</verb>","toolSummaryForCmd.startedBackgroundTerminal":"ബാക്ക്ഗ്രൗണ്ട് ടെർമിനൽ ആരംഭിച്ചു","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"{command}-ഓടെ ബാക്ക്ഗ്രൗണ്ട് ടെർമിനൽ ആരംഭിച്ചു.","traceRecording.details.noteLabel":"ഇത് സംഭവിച്ചപ്പോൾ നിങ്ങൾ എന്ത് ചെയ്യുകയായിരുന്നു? (ഓപ്ഷണൽ)","traceRecording.details.notePlaceholder":"വലിയൊരു ത്രെഡിലൂടെ നീങ്ങുകയും തുടർന്ന് ടാബുകൾ ആവർത്തിച്ച് മാറുകയും ചെയ്തു…","traceRecording.details.submit":"ട്രേസ് അയക്കുക","traceRecording.details.subtitle":"പെർഫോമൻസ് പ്രശ്നങ്ങൾ കണ്ടെത്താൻ സഹായിക്കുന്നതിന് ഈ പ്രൊഫൈൽ ട്രേസ് അയക്കാവുന്നതാണ്.","traceRecording.details.title":"പ്രൊഫൈൽ ട്രേസ് അയക്കണോ?","traceRecording.progress.subtitle":"ഇത് പൂർത്തിയാകുന്നത് വരെ Codex തുറന്നുതന്നെ വെക്കുക.","traceRecording.saving.title":"ട്രേസ് സേവ് ചെയ്യുന്നു…","traceRecording.startDetails.cancel":"റദ്ദാക്കുക","traceRecording.startDetails.submit":"ശരി, റെക്കോർഡിംഗ് ആരംഭിക്കുക","traceRecording.startDetails.subtitle":"ശരി ക്ലിക്ക് ചെയ്ത ശേഷം, പെർഫോമൻസ് പ്രശ്നം വീണ്ടും ആവർത്തിക്കുക, തുടർന്ന് റെക്കോർഡിംഗ് നിർത്താനും ട്രേസ് പരിശോധിക്കാനും ചുവന്ന ഇൻഡിക്കേറ്ററിൽ ക്ലിക്ക് ചെയ്യുക.","traceRecording.startDetails.title":"ട്രേസ് റെക്കോർഡിംഗ് എങ്ങനെ പ്രവർത്തിക്കുന്നു","traceRecording.stopButton.ariaLabel":"ട്രേസ് റെക്കോർഡിംഗ് നിർത്തുക","traceRecording.upload.successToast":"പ്രൊഫൈൽ ട്രേസ് അയച്ചു","traceRecording.uploading.title":"ട്രേസ് അപ്‌ലോഡ് ചെയ്യുന്നു…","wham.diff.addComment":"അഭിപ്രായം ചേർക്കുക","wham.diff.binaryFile":"ബൈനറി ഫയൽ കാണിച്ചിട്ടില്ല","wham.diff.noContent":"ഉള്ളടക്കമില്ല","wham.fileTag.deleted":"ഇല്ലാതാക്കി","wham.fileTag.new":"പുതിയത്","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}mo","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}w","wham.formattedRelativeDateTime.compactYearsAgo":"{value}y","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"നിങ്ങളുടെ ടാസ്ക്കിൽ പ്രവർത്തിച്ചുകൊണ്ടിരിക്കുന്നു","wham.whamProposedTask.title":"നിർദ്ദേശിച്ച ടാസ്ക്","wham.whamProposedTask.useSuggestion":"നിർദ്ദേശം ഉപയോഗിക്കുക","workspaceRootDialog.addError":"പ്രോജക്റ്റ് ചേർക്കാനായില്ല","workspaceRootDialog.cancel":"റദ്ദാക്കുക","workspaceRootDialog.confirmAdd":"പ്രോജക്റ്റ് ചേർക്കുക","workspaceRootDialog.confirmPick":"പ്രോജക്റ്റ് ഉപയോഗിക്കുക","workspaceRootDialog.description":"ഒരു പ്രോജക്റ്റായി ഉപയോഗിക്കുന്നതിന് {host}-ലെ പാത്ത് നൽകുക","workspaceRootDialog.pathLabel":"പ്രോജക്റ്റ് പാത്ത്","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"പ്രോജക്റ്റ് പാത്ത് ചേർക്കുക","workspaceRootDialog.title.pick":"പ്രോജക്റ്റ് പാത്ത് തിരഞ്ഞെടുക്കുക","worktreeInitV2.cancel":"റദ്ദാക്കുക","worktreeInitV2.notification.failedTitle":"വർക്ക്ട്രീ സെറ്റപ്പ് പരാജയപ്പെട്ടു","worktreeInitV2.output.empty":"ഔട്ട്‌പുട്ടിനായി കാത്തിരിക്കുന്നു…","worktreeInitV2.status.error":"വർക്ക്ട്രീ സെറ്റപ്പ് പരാജയപ്പെട്ടു.","worktreeInitV2.status.running":"ഒരു വർക്ക്ട്രീ സൃഷ്ടിച്ച് സെറ്റപ്പ് പ്രവർത്തിപ്പിക്കുന്നു.","worktreeInitV2.status.runningFork":"ഈ സംഭാഷണം മാറ്റുന്നതിനായി ഒരു വർക്ക് ട്രീ സൃഷ്ടിക്കുന്നു.","worktreeInitV2.status.success":"വർക്ക്ട്രീ തയ്യാറായി.","worktreeInitV2.title":"വർക്ക്ട്രീ സൃഷ്ടിക്കുന്നു","worktreeInitV2.workLocallyInstead":"ഇതിന് പകരം ലോക്കലിൽ ജോലി ചെയ്യുക","worktreeRestoreBanner.body":"ഡിസ്കിലെ സ്ഥലം ലാഭിക്കുന്നതിനായി ഈ ത്രെഡിന്‍റെ വർക്ക് ട്രീ നീക്കം ചെയ്തിരിക്കുന്നു","worktreeRestoreBanner.missing.body":"ഈ ത്രെഡിന്‍റെ വർക്കിംഗ് ഡയറക്ടറി ഇപ്പോൾ നിലവിലില്ല","worktreeRestoreBanner.missing.title":"നിലവിലെ വർക്കിംഗ് ഡയറക്ടറി കാണാനില്ല","worktreeRestoreBanner.restore.error":"വർക്ക്‌ട്രീ പുനഃസ്ഥാപിക്കുന്നതിൽ പരാജയപ്പെട്ടു: {message}","worktreeRestoreBanner.restore.success":"വർക്ക്‌ട്രീ പുനഃസ്ഥാപിച്ചു","worktreeRestoreBanner.restoreCta":"വർക്ക്‌ട്രീ പുനഃസ്ഥാപിക്കുക","worktreeRestoreBanner.title":"വർക്ക്‌ട്രീ ക്ലീൻ അപ്പ് ചെയ്തു"};Object.assign(e,globalThis.codexI18nOverrides?.["ml"]);export{e as default};
 //# sourceMappingURL=ml-CfqJK9vM.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Хуулах","app.sidebar.hide":"Хажуу мөрийг нуух","app.sidebar.show":"Хажуу мөрийг харуулах","app.sidebar.tooltip":"Хажуугийн самбарыг сэлгэх","appHeader.installUpdate":"Шинэчлэх","appSunset.body":"Аппын энэ хувилбар нь цаашид ашиглагдах боломжгүй байна. <here>энд</here> дарж аппын дараагийн хувилбарыг татаж авна уу.","appSunset.title":"Шинэчлэл шаардлагатай","automation.updateDirective.create":"Үүсгэх","automation.updateDirective.open":"Нээх","automation.updateDirective.untitled":"Нэргүй автоматжуулалт","automation.updateDirective.update":"Шинэчлэх","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# оролдлого} other {# оролдлого}}","cloudTaskRow.archiveError":"Даалгаврыг архивлаж чадсангүй","code.diff.requestChange":"Өөрчлөх хүсэлт","code.diffComment.cancel":"Цуцлах","code.diffComment.comment":"Тайлбар","code.diffComment.delete":"Устгах","code.diffComment.save":"Хадгалах","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Ямар ч олдвор илрээгүй.","codex.alert.closeAriaLabel":"Хаах","codex.appUpsellBanner.cbpApi.message":"Codex аппаар илүү хурдан бүтээгээрэй. Одоо татаж авах эсвэл {learnMoreLink}.","codex.appUpsellBanner.download":"Татаж авах","codex.appUpsellBanner.freeGo.message":"Codex таны багцад 3-р сарын 2 хүртэл багтсан. Илүү хурдан бүтээхийн тулд Codex аппыг туршаарай.","codex.appUpsellBanner.later":"Дараа нь","codex.appUpsellBanner.learnMoreLowercase":"нэмэлт мэдээлэл авах","codex.appUpsellBanner.new":"Шинэ","codex.appUpsellBanner.proPlusBusiness.message":"2x зарцуулалтын хязгаар бүхий Codex аппыг 4-р сарын 2 хүртэл туршаарай. Одоо татаж авах эсвэл {learnMoreLink}.","codex.appUpsellBanner.title":"Codex апп","codex.applyDropdown.header.changes":"Өөрчлөлтүүд","codex.applyDropdown.header.fileCount":"{count, plural, one {# файл} other {# файлууд}}","codex.applyDropdown.header.rows":"мөрүүд","codex.applyDropdown.header.title":"Өөрчлөлтүүд оруулах","codex.applyDropdown.header.workspace":"Төсөл","codex.applyDropdown.results.conflicted":"{count, plural, one {Зөрчилтэй 1 файл:} other {Зөрчилтэй {count} файл:}}","codex.applyDropdown.results.empty":"Хуулсан файл байхгүй","codex.applyDropdown.results.skipped":"{count, plural, one {Алгассан 1 файл:} other {Алгассан {count} файл:}}","codex.applyOrRevertBanner.apply":"Хэрэгжүүлэх","codex.applyOrRevertBanner.applyMessage":"Өөрчлөлтийг оруулаад локал дээр үргэлжлүүлэх үү?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Энэ даалгавар {environment}-д хийгдсэн тул шууд хэрэгжихгүй байж болно.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Өөрчлөлтүүд {environment}-д хийгдсэн тул шууд хэрэгжихгүй байж болно.","codex.applyOrRevertBanner.reapply":"Дахин хэрэгжүүлэх","codex.applyOrRevertBanner.revert":"Буцаах","codex.applyOrRevertBanner.revertMessage":"Оруулсан өөрчлөлтүүдийг буцаах уу?","codex.applyResultsDialog.applied":"Шууд хэрэгжсэн ({count})","codex.applyResultsDialog.close":"Хаах","codex.applyResultsDialog.conflicted":"Зөрчилтэй ({count})","codex.applyResultsDialog.noDetails":"Файлын дэлгэрэнгүй мэдээлэл байхгүй.","codex.applyResultsDialog.skipped":"Алгассан ({count})","codex.applyResultsDialog.title":"Илэрцийг хэрэгжүүлэх","codex.archiveInfo":"{dataControlsLink} дахь архивласан чат үзэх","codex.archiveInfo.dataControlsLink":"Өгөгдлийн хяналт","codex.archiveInfo.electron":"{settingsLink}-д архивласан чатууд харах","codex.archiveInfo.extension":"codex хавтсанд дахь архивчлагдсан чатуудаа харах","codex.archiveInfo.settingsLink":"Тохиргоо","codex.banner.content.description":"Даалгавруудыг зэрэг явуулж, хаанаас ч явцыг хянаж, AI-аар PR-ууд хянаарай.","codex.banner.content.headline":"Codex бүгдийг хийнэ.","codex.cloudTaskRow.archiveTask":"Даалгаврыг архивлах","codex.cloudTaskRow.confirmArchiveTask":"Баталгаажуулах","codex.command.feedback":"Санал хүсэлт","codex.command.findInThread":"Олох","codex.command.forceReloadSkills":"Чадваруудыг хүчээр дахин ачаалах","codex.command.logOut":"Гарах","codex.command.manageTasks":"Даалгавруудыг удирдах","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Буцах","codex.command.navigateForward":"Цааш","codex.command.newThread":"Шинэ хэлэлцүүлэг","codex.command.nextThread":"Дараагийн жагсаалт","codex.command.openFolder":"Хавтас нээх","codex.command.openSkills":"Чадварууд руу очих","codex.command.openThreadOverlay":"Ярианы хэлхээг салгаж харах","codex.command.personalitySettings":"Зан төлөв","codex.command.previousThread":"Өмнөх жагсаалт","codex.command.settings":"Тохиргоо","codex.command.toggleDiffPanel":"Дифф самбарыг сэлгэх","codex.command.toggleSidebar":"Хажуугийн самбарыг сэлгэх","codex.command.toggleTerminal":"Терминал сэлгэх","codex.commandGroup.app":"Апп","codex.commandGroup.configure":"Тохируулах","codex.commandGroup.navigation":"Чиглүүлэг","codex.commandGroup.panels":"Самбарууд","codex.commandGroup.skills":"Чадварууд","codex.commandGroup.thread":"Уялдаа","codex.commandGroup.workspace":"Төсөл","codex.commandMenu.noResults":"Тохирох зүйл байхгүй","codex.commandMenu.searchPlaceholder":"Команд хайх","codex.commandMenu.suggestedGroup":"Санал болгосон","codex.commandMenu.switchWorkspace":"Төсөл солих","codex.commandMenu.title":"Командын цэс","codex.common.retry":"Дахин оролдох","codex.composer.searchBranches":"Салбаруудаас хайх","codex.dialog.basic.body":"Энэ бол Radix Харилцах Цонхыг тойруулан манай ороогчийг ашигласан энгийн модал харилцах цонх юм.","codex.dialog.basic.cancel":"Цуцлах","codex.dialog.basic.confirm":"Баталгаажуулах","codex.dialog.basic.open":"Харилцах Цонх Нээх","codex.dialog.basic.title":"Жишээ Харилцах Цонх","codex.dialog.long.close":"Хаах","codex.dialog.long.line":"Харилцах цонхон дахь урт агуулгыг илэрхийлэх гүйдэг мөр {index}.","codex.dialog.long.open":"Урт Харилцах Цонх Нээх","codex.dialog.long.title":"Урт Агуулгатай Харилцах Цонх","codex.dialog.unstyled.body":"Энэ өгүүллэг нь дуудлага хийж буй хүмүүс хэрхэн ярианы агуулгын хэв загварыг бүрэн удирдахыг харуулдаг.","codex.dialog.unstyled.open":"Нээлттэй загваргүй харилцан яриа","codex.dialog.unstyled.title":"Загваргүй агуулга","codex.diff.openInEditorPrompt.openButton":"Засварлагч дотор нээх","codex.diff.openInEditorPrompt.singleLine":"Энэ файлыг энд харуулахад хэтэрхий том байна.","codex.diffView.failedToDecodeBase64Diff":"Base64 диффийг тайлж уншиж чадсангүй","codex.diffView.filesChanged":"{fileCount, plural, one {# файл өөрчлөгдсөн} other {# файл өөрчлөгдсөн}}","codex.diffView.imagePreviewAlt":"Зураг урьдчилан харах","codex.diffView.imagePreviewEmpty":"Зураг байхгүй","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Дифф өгөгдөл алга","codex.diffView.pdfPreview.nextPage":"Дараагийн хуудас","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Өмнөх хуудас","codex.diffView.pdfPreviewEmpty":"PDF урьдчилсан харагдац байхгүй","codex.diffView.pdfPreviewError":"PDF урьдчилсан харагдцыг дамжуулах боломжгүй","codex.diffView.richPreviewDisable":"Дэлгэрэнгүй урьдчилсан харагдцыг идэвхгүй болгох","codex.diffView.richPreviewEnable":"Дэлгэрэнгүй урьдчилсан харагдцыг идэвхжүүлэх","codex.diffView.richPreviewLoading":"Урьдчилсан тоймыг ачаалж байна...","codex.diffView.richPreviewToggle":"Дэлгэрэнгүй урьдчилсан харагдцыг сэлгэх","codex.diffView.switchToUnified":"Нэгтгэсэн дифф рүү шилжих","codex.environmentSelector.noEnvironment":"Орчин байхгүй","codex.environments.environmentSettings":"Орчны тохиргоо","codex.environments.learnMore":"Нэмэлт мэдээлэл авах","codex.environments.listError":"Орчнуудыг ачаалж чадсангүй.","codex.environments.noEnvironmentsFound":"Орчин олдсонгүй","codex.environments.searchError":"Орчин хайж чадсангүй.","codex.errorBoundary.genericError":"Уучлаарай, алдаа гарлаа","codex.errorBoundary.goHome":"Дахин оролдох","codex.file.patch.missing":"Энэ файлд нөхөөс үүсгэх боломжгүй.","codex.gallery.automations.cwdLabel":"Төслүүд","codex.gallery.automations.nameLabel":"Нэр","codex.gallery.automations.namePlaceholder":"Даалгаврыг хураангуйлах","codex.gallery.automations.promptLabel":"Промпт","codex.gallery.automations.promptPlaceholder":"Codex-ын юу хийх ёстойг тодорхойл","codex.gallery.dialogs.automation.label":"Автомат харилцан яриа","codex.gallery.dialogs.basic.body":"Бонгино формуудад болон шууд хийгдэх баталгаажуулалтуудад энэ загварыг ашигла","codex.gallery.dialogs.basic.cancel":"Цуцлах","codex.gallery.dialogs.basic.confirm":"Баталгаажуулах","codex.gallery.dialogs.basic.label":"Энгийн харилцан яриа","codex.gallery.dialogs.basic.title":"Жишээ харилцан яриа","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Асуудлыг тодорхойл","codex.gallery.dialogs.feedbackSubmission.bad":"Муу илэрц","codex.gallery.dialogs.feedbackSubmission.bug":"Алдаа","codex.gallery.dialogs.feedbackSubmission.good":"Сайн илэрц","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Одоогийн Codex холболтын хэсгийн бүртгэлийг оруулах","codex.gallery.dialogs.feedbackSubmission.label":"Санал хүсэлтийн илгээлт","codex.gallery.dialogs.feedbackSubmission.other":"Бусад","codex.gallery.dialogs.feedbackSubmission.placeholder":"Энд асуудлыг тодорхойлно уу","codex.gallery.dialogs.feedbackSubmission.submit":"Илгээх","codex.gallery.dialogs.feedbackSubmission.title":"Санал хүсэлт","codex.gallery.dialogs.feedbackSuccess.body":"Санал хүсэлтийг амжилттай илгээлээ. Хэрэв асуудал үргэлжилбэл GitHub дээр issue нээгээрэй, эсвэл аль хэдийн нээлттэй issue-д энэ thread ID-г дурдана уу:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Хаах","codex.gallery.dialogs.feedbackSuccess.label":"Санал хүсэлтийн амжилт","codex.gallery.dialogs.feedbackSuccess.title":"Санал хүсэлт байршуулсан","codex.gallery.dialogs.gitApplyResults.applied":"Шууд хэрэгжсэн (2)","codex.gallery.dialogs.gitApplyResults.close":"Хаах","codex.gallery.dialogs.gitApplyResults.conflicted":"Зөрчилтэй: 1","codex.gallery.dialogs.gitApplyResults.label":"Илэрцийг хэрэгжүүлэх","codex.gallery.dialogs.gitApplyResults.title":"Илэрцийг хэрэгжүүлэх","codex.gallery.dialogs.gitPushError.body":"Сүүлийн өөрчлөлтүүдийг татаж аваарай, эсвэл алсын түүхийг дарж бичихэд аюулгүй гэдгийг мэдэж байвал хүчээр түлхээрэй.","codex.gallery.dialogs.gitPushError.cancel":"Цуцлах","codex.gallery.dialogs.gitPushError.force":"Албадан түлхэлт","codex.gallery.dialogs.gitPushError.label":"Түлхэх алдаа","codex.gallery.dialogs.gitPushError.subtitle":"Таны салбар үндсэн байрлалаас хойно байна.","codex.gallery.dialogs.gitPushError.title":"Өөрчлөлтүүдийг түлхэж чадсангүй","codex.gallery.dialogs.gitRevert.cancel":"Цуцлах","codex.gallery.dialogs.gitRevert.confirm":"Буцаах","codex.gallery.dialogs.gitRevert.label":"Өөрчлөлтүүд буцаах","codex.gallery.dialogs.gitRevert.skip":"Дахин битгий асуу","codex.gallery.dialogs.gitRevert.subtitle":"Энэ үйлдэл эдгээр өөрчлөлтүүдийг устгах болно.","codex.gallery.dialogs.gitRevert.title":"Өөрчлөлтүүд буцаах уу?","codex.gallery.dialogs.longForm.label":"Урт хэлбэрийн харилцан яриа","codex.gallery.dialogs.proseModal.body":"Энэ загвар нь урт хэмжээтэй зааварчилгаа болон танилцуулгын явц аль эсвэл агуулгатай өргөнтэй цонхнуудад зориулагдсан болно.","codex.gallery.dialogs.proseModal.close":"Хаах","codex.gallery.dialogs.proseModal.subtitle":"Урт хэмжээний формуудыг болон баримт бичгүүдийг энд хуваалцаарай.","codex.gallery.dialogs.proseModal.title":"Prose модал","codex.gallery.dialogs.submitBlocked.label":"Илгээлт хаагдсан байна","codex.gallery.dialogs.submitBlocked.message":"Төсөл боломжгүй байгаа тул таны зурвасыг илгээж чадсангүй.","codex.gallery.dialogs.submitBlocked.ok":"ОК","codex.gallery.dialogs.submitBlocked.title":"Зурвас илгээх боломжгүй","codex.gallery.dialogs.title":"Харилцан ярианууд","codex.gallery.dropdown.filterPlaceholder":"Зүйлсийг шүүх","codex.gallery.dropdowns.actionRow":"Үйлдлийн шугамууд","codex.gallery.dropdowns.actionRow.disabled":"Идэвхгүй болгосон үйлдэл","codex.gallery.dropdowns.actionRow.primary":"Үндсэн үйлдэл","codex.gallery.dropdowns.actionRow.secondary":"Хоёрдогч үйлдэл","codex.gallery.dropdowns.actionRow.trigger":"Үйлдлүүдийг харуул","codex.gallery.dropdowns.basic":"Энгийн уналтууд","codex.gallery.dropdowns.basic.newFile":"Шинэ файл","codex.gallery.dropdowns.basic.newFolder":"Шинэ хавтас","codex.gallery.dropdowns.basic.openSettings":"Тохиргоог нээх","codex.gallery.dropdowns.basic.title":"Түргэн үйлдлүүд","codex.gallery.dropdowns.basic.trigger":"Цэс нээх","codex.gallery.dropdowns.basic.upload":"Байршуулах","codex.gallery.dropdowns.panel":"Панелын гадаргуу","codex.gallery.dropdowns.panel.apply":"Хэрэгжүүлэх","codex.gallery.dropdowns.panel.body":"Диффүүдийг хянаж үзээд төсөлдөө хэрэгжүүлээрэй.","codex.gallery.dropdowns.panel.preview":"Урьдчилан харах","codex.gallery.dropdowns.panel.title":"Өөрчлөлтүүд оруулах","codex.gallery.dropdowns.panel.trigger":"Панелыг нээх","codex.gallery.dropdowns.search":"Хайлт хийх боломжтой уналтууд","codex.gallery.dropdowns.search.first":"Альфа сувгууд","codex.gallery.dropdowns.search.second":"Бета салбар","codex.gallery.dropdowns.search.third":"Туршилтын хувилбар","codex.gallery.dropdowns.search.trigger":"Зүйлсийг шүүх","codex.gallery.dropdowns.submenu":"Дэд цэстэй уналтууд","codex.gallery.dropdowns.submenu.optionA":"Альфа төсөл","codex.gallery.dropdowns.submenu.optionB":"Бета төсөл","codex.gallery.dropdowns.submenu.optionC":"Гамма төсөл","codex.gallery.dropdowns.submenu.primary":"Эзэмшигч оноох","codex.gallery.dropdowns.submenu.secondary":"Руу шилжүүлэх","codex.gallery.dropdowns.submenu.tertiary":"Архивлах","codex.gallery.dropdowns.submenu.trigger":"Үйлдэл сонгох","codex.gallery.dropdowns.title":"Уналтууд","codex.gallery.inbox.automations.close":"Хаах","codex.gallery.inbox.automations.popover.cardTitle":"Автоматжуулалт удирдах","codex.gallery.inbox.automations.popover.dialogTitle":"Автоматжуулалт удирдах","codex.header.settingsTooltip":"Тохиргоо","codex.hunk.patch.error":"Stage хийж чадсангүй","codex.hunk.patch.missing":"Энэ хэсэгт нөхөөс үүсгэх боломжгүй.","codex.hunk.patch.partialSuccess":"Хагас амжилттай","codex.hunk.patch.revertError":"Unstage хийж чадсангүй","codex.hunk.patch.revertSuccess":"Амжилттай unstage хийлээ","codex.hunk.patch.success":"Амжилттай stage хийлээ","codex.legal.autonomy.details":"Нэмэлт мэдээллийг {link}-с үзнэ үү","codex.legal.autonomy.details.link":"Codex бичиг баримт","codex.legal.autonomy.title":"Та ямар хэмжээний удирдах эрх олгохоо шийдээрэй","codex.legal.backButton":"Буцах","codex.legal.cloud.taskOne.meta":"openai/agi · 10-р сарын 12","codex.legal.cloud.taskOne.title":"Шинэ дизайнерт репозитор тайлбарлах","codex.legal.cloud.taskThree.meta":"openai/codex · 10-р сарын 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Харанхуй горимын загвар үүсгэх","codex.legal.cloud.taskTwo.meta":"openai/agi · 10-р сарын 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Танилцуулгын үеийн алдааг засах","codex.legal.continue.apikey":"Үргэлжлүүлэх","codex.legal.continueButton":"Дараах","codex.legal.copilot.details":"Бүх загварын дуудлага, төлбөр тооцоо, зарцуулалтын хязгаарт таны Copilot багцыг ашиглана. Codex өргөтгөлийн ашиглалт нь {oaiTos} ба {gitHubTos}-с хамааралтай.","codex.legal.copilot.gitHubTosLink":"GitHub Үйлчилгээний Нөхцөл","codex.legal.copilot.oaiTosLink":"OpenAI Codex үйлчилгээний нөхцөл","codex.legal.copilot.title":"GitHub Copilot-р ажилладаг","codex.legal.mistakes.review":"Бичсэн код болон хэрэгжүүлсэн командыг хянана уу","codex.legal.mistakes.title":"Codex алдаа гаргаж болно","codex.legal.powered.details":"Таны багцын зарцуулалтын хязгаар болон {link}-г ашигладаг","codex.legal.powered.details.link":"сургалтын өгөгдлийн сонголтууд","codex.legal.powered.title":"Таны ChatGPT бүртгэлээр ажилладаг","codex.legal.step.cloud.subtitle":"Codex руу даалгавар илгээж ар талд ажиллуулснаар төвлөрч, хурдан ажиллах боломжтой.","codex.legal.step.cloud.title":"Cloud дахь Codex руу шилжүүлэх","codex.legal.step.intro.subtitle":"Codex таны репод шууд удирдаж, засвар хийж, команд уншуулж, туршилт хийнэ. Таны ChatGPT бүртгэлээр ажилладаг.","codex.legal.step.intro.title":"Таны IDE дэх Codex","codex.legal.step.todo.subtitle":"TODO тайлбар бичээд, нэг даралтаар Codex даалгавар болгон хувиргаарай.","codex.legal.step.todo.title":"TODO-г Codex даалгавар болгох","codex.legal.todo.heading":"// TODO: схем хэрэгжүүлэх","codex.localConversation.closeImagePreview":"Зургийн урьдчилан харалыг зогсоо","codex.localConversation.userImageAttachment":"Хэрэглэгчийн хавсралт","codex.localTaskRow.archiveTask":"Архивын хэлхээ","codex.localTaskRow.awaitingApproval":"Зөвшөөрөл хүлээж байна","codex.localTaskRow.awaitingResponse":"Хариултууд хүлээгдэж байна.","codex.localTaskRow.confirmArchiveTask":"Баталгаажуулах","codex.loggedOut.apiKeyPrompt.cancel":"Цуцлах","codex.loggedOut.apiKeyPrompt.confirm":"ОК","codex.loggedOut.apiKeyPrompt.getKey":"API Түлхүүр авах","codex.loggedOut.apiKeyPrompt.inputLabel":"OpenAI API Түлхүүрээ оруулна уу","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloud даалгаврууд API түлхүүрээр идэвхгүй болсон","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloud даалгаврууд Copilot болон API түлхүүрээр идэвхгүй болсон","codex.loggedOut.signIn":"ChatGPT-ээр нэвтрэх","codex.loggedOut.signIn.cancel":"Нэвтрэлтийг цуцлах","codex.loggedOut.signInWithCopilot":"GitHub Copilot-р нэвтрэх","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API Түлхүүр ашиглах","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} хэрэгсэл","codex.mcpTool.collapsedLabel.verb.called":"Дуудсан","codex.mcpTool.collapsedLabel.verb.calling":"Дуудаж байна","codex.mcpTool.embeddedResource.contentLabel":"Контент","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME төрөл","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Хэрэгсэл ямар ч контент буцаасангүй","codex.mcpTool.rawPayloadHeading":"Анхдагч {server}.{tool} хэрэгслийн дуудлагын ачаалал","codex.menu.recent":"Сүүлийн","codex.menu.seeAllHistory":"Бүх түүх үзэх","codex.modelCapacityBanner.headline.noReset":"{modelName} дүүрсэн байна. Дараа дахин оролдох, эсвэл өөр загвараар шинэ харилцан яриа эхлүүлнэ үү.","codex.modelCapacityBanner.headline.withReset":"{modelName} дүүрсэн байна. {resetDate} дараа дахин оролдох, эсвэл өөр загвараар шинэ харилцан яриа эхлүүлнэ үү.","codex.modelCapacityBanner.title":"Сонгосон загвар дүүрсэн байна","codex.patch.change.contentsDeleted":"Контентуудыг устгасан","codex.patch.change.created":"Үүсгэсэн","codex.patch.change.created-file":"Файл үүслээ","codex.patch.change.creating":"Үүсгэж байна","codex.patch.change.deleted":"Устгасан","codex.patch.change.deleted-file":"Файл устлаа","codex.patch.change.deleting":"Устгаж байна","codex.patch.change.edited":"Засварласан","codex.patch.change.edited-file":"Файлыг засварласан","codex.patch.change.editing":"Засварлаж байна","codex.patch.change.noChanges":"Өөрчлөлтгүй","codex.patch.change.rejected-add":"Татгалзсан","codex.patch.change.rejected-delete":"Татгалзсан","codex.patch.change.rejected-edit":"Татгалзсан","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total}-с {completed} даалгавар дууссан","codex.plan.todoListCreated":"{total} даалгавруудаар хийх зүйлсийн жагсаалт үүсгэсэн","codex.profileDropdown.apiKeyAuth":"API түлхүүрээр нэвтэрсэн","codex.profileDropdown.codexSettings":"Codex тохиргоо","codex.profileDropdown.copilotAuth":"Copilot-р нэвтэрсэн","codex.profileDropdown.defaultAccountTitle":"Үндсэн бүртгэл","codex.profileDropdown.enterBehavior":"{modifierSymbol} + урт промптууд руу илгээ","codex.profileDropdown.enterBehaviorError":"Тохиргоог шинэчилж чадсангүй","codex.profileDropdown.getPlus":"Илүү өндөр хязгаар хүсвэл сайжруулаарай","codex.profileDropdown.keyboardShortcuts":"Гарын товчилборууд","codex.profileDropdown.language":"Хэл","codex.profileDropdown.languageDefault":"Автоматаар Илрүүлэх","codex.profileDropdown.languageSearchPlaceholder":"Хэл хайх","codex.profileDropdown.languageUpdateError":"Хэлийг шинэчилж чадсангүй","codex.profileDropdown.logOut":"Гарах","codex.profileDropdown.mcp":"MCP тохиргоо","codex.profileDropdown.openConfigToml":"config.toml нээх","codex.profileDropdown.openConfigToml.wsl":"WSL орчинд config.toml нээх","codex.profileDropdown.openExtensionSettings":"Тохиргоог нээх","codex.profileDropdown.openMcpSettings":"MCP тохиргоо нээх","codex.profileDropdown.openOnStartup":"Эхлэх үед нээх","codex.profileDropdown.openOnStartupError":"Тохиргоог шинэчилж чадсангүй","codex.profileDropdown.openSkillsSettings":"Чадваруудын тохиргоог нээх","codex.profileDropdown.personalAccountTitle":"Хувийн бүртгэл","codex.profileDropdown.queueFollowUps":"Дагалдах ажлуудыг дараалалд оруулах","codex.profileDropdown.queueFollowUpsError":"Тохиргоог шинэчилж чадсангүй","codex.profileDropdown.readDocs":"Бичиг баримт унших","codex.profileDropdown.readSkillsDocs":"Бичиг баримт унших","codex.profileDropdown.runInWsl":"WSL-д уншуулах","codex.profileDropdown.runInWslError":"Тохиргоог шинэчилж чадсангүй","codex.profileDropdown.runInWslTooltip":"Codex-ийг WSL дотор ажиллуулдаг. Сайжирсан sandbox хамгаалалт болон гүйцэтгэлийн өндөр чанарт санал болгодог.","codex.profileDropdown.settings":"IDE тохиргоо","codex.profileDropdown.settingsPage":"Тохиргоо","codex.profileDropdown.signInWithOpenAI":"ChatGPT-ээр нэвтрэх","codex.profileDropdown.skills":"Чадваруудын тохиргоо","codex.profileDropdown.switchToCopilotAccount":"Copilot бүртгэл ашиглах","codex.profileDropdown.switchToOpenAIAccount":"OpenAI бүртгэл ашиглах","codex.profileDropdown.todoCodelens":"TODO тайлбарууд засах","codex.profileDropdown.todoCodelensError":"Тохиргоог шинэчилж чадсангүй","codex.profileDropdown.windowsDocumentation":"Windows Бичиг баримт","codex.profileFooter.signedInFallback":"Тохиргоо","codex.profileFooter.upgrade":"Сайжруулах","codex.recentTasksMenu.clearSearch":"Хайлтыг арилгах","codex.recentTasksMenu.cloud":"Cloud даалгаврууд","codex.recentTasksMenu.count":"{count, plural, =0 {Гүйцэтгэж буй даалгавар байхгүй} one {# даалгаврыг гүйцэтгэж байна} other {# даалгавруудыг гүйцэтгэж байна}}","codex.recentTasksMenu.empty":"Одоогоор хэлхээ алга","codex.recentTasksMenu.errorCloud":"Даалгаврууд ачаалж чадсангүй.","codex.recentTasksMenu.errorCloud.inline":"Cloud даалгаврууд ачаалж чадсангүй.","codex.recentTasksMenu.filterAll":"Бүгд","codex.recentTasksMenu.filterCloudTasks":"Cloud даалгаврууд шүүх","codex.recentTasksMenu.filterTooltip":"Даалгавруудыг орчноор шүүх","codex.recentTasksMenu.local":"Локал даалгаврууд","codex.recentTasksMenu.recent":"Бүх даалгаврууд","codex.recentTasksMenu.search":"Сүүлийн даалгавруудаас хайх","codex.recentTasksMenu.searchEmpty":"Илэрц олдсонгүй","codex.recentTasksMenu.tooltip":"Даалгаврын түүх","codex.recentTasksMenu.trigger":"Сүүлийн даалгаврууд. {count, plural, one {# хийгдэж байна} other {# хийгдэж байна}}","codex.remoteConversation.applyDiff.applyCta":"Өөрчлөлтүүд оруулах","codex.remoteConversation.applyDiff.dropdownTitle":"Өөрчлөлтүүдийг локал салбарт оруулах","codex.remoteConversation.applyDiff.revertCta":"Өөрчлөлтүүд буцаах","codex.remoteConversation.closeImagePreview":"Зургийн урьдчилан харалыг зогсоо","codex.remoteConversation.codexCloudTask":"Та <u>Codex cloud</u> даалгаврыг харж байна","codex.remoteConversation.errorWithMessage":"Алдаа: {message}","codex.remoteConversation.loadingImage":"Зургийг ачаалж байна","codex.remoteConversation.openInWeb":"Веб дотор нээх","codex.remoteConversation.streaming":"Эхлүүлж байна","codex.remoteConversation.turnFailed":"Энэ даалгаврын явцад алдаа гарлаа","codex.remoteConversation.turnTab.loading":"Оролдлого {number}","codex.remoteConversation.turnTab.title":"Оролдлого {number}","codex.remoteConversation.userImageAttachment":"Хэрэглэгчийн хавсралт","codex.remoteConversation.viewPreviousTurns":"Веб дотор нээх","codex.remoteConversation.viewPreviousTurns.buttonText":"Нээх","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Веб дотор нээх","codex.review.copyGitApplyCommand":"Git идэвхжүүлэлтийг хуулах","codex.review.copyGitApplyCommand.toast":"Санах самбарт git идэвхжүүлэлтийг хуулсан","codex.review.diffTooLarge.description":"Урьдчилан харах самбарт дифф хэтэрхий том харагдаж байна.","codex.review.diffTooLarge.title":"Дифф нь харуулахад хэтэрхий том байна","codex.review.expandOrCollapseDiffButton.collapse":"Бүх диффийг хураах","codex.review.expandOrCollapseDiffButton.expand":"Бүх диффийг өргөтгөх","codex.review.expandOrCollapseDiffMenu.collapse":"Бүх диффийг хураах","codex.review.expandOrCollapseDiffMenu.expand":"Бүх диффийг өргөтгөх","codex.review.fileSearch.clear":"Файлын шүүлтүүр цэвэрлэх","codex.review.fileSearch.empty":"Одоогийн шүүлтүүрт тохирох файл олдсонгүй.","codex.review.fileSearch.label":"Файл шүүх","codex.review.fileSearch.placeholder":"Файл шүүх…","codex.review.filesChanged":"{num, plural, =0 {Өөрчлөгдсөн файл алга} one {# файл өөрчлөгдсөн} other {# файл өөрчлөгдсөн}}","codex.review.find.loadMore":"Нэмэлт нийцлийг ачаалах","codex.review.fullReview.hideFileTree":"Файлын модыг нуух","codex.review.fullReview.showFileTree":"Файлын модыг харуулах","codex.review.header.moreOptions":"Хянах сонголтууд","codex.review.largeDiff.banner":"Их хэмжээний дифф илэрлээ — файлыг нэг нэгээр харуулж байна.","codex.review.loadFullFiles.disable":"Дүүрэн хайлтаас бүү ажлуул","codex.review.loadFullFiles.enable":"Дүүрээн хайлтаан ажлуул","codex.review.noDiff":"Файлын өөрчлөлтүүд нь энд харагдана","codex.review.noDiff.gitInit.createRepository":"Git репозитор үүсгэх","codex.review.noDiff.gitInit.creating":"Үүсгэж байна…","codex.review.noDiff.gitInit.error":"Git эхлүүлэх үйлдэл амжилтгүй боллоо:  {message}","codex.review.noDiff.gitInit.success":"Git репозитор нь үүсгэгдсэн","codex.review.noDiff.gitRepoRequired.description":"Энэ төсөлд хийсэн өөрчлөлтүүдийг хянах болон буцаах","codex.review.noDiff.gitRepoRequired.title":"Git репозитор үүсгэх","codex.review.noDiff.orNoLongerAvailable":"эс бөгөөс сүүлийн зөрүүг харах боломжгүй","codex.review.noDiff.reverted":"Сүүлийн үйлдлийг буцаасан байна","codex.review.noDiff.revertedOrCommitted":"Сүүлийн үйлдлийг буцаасан эсвэл коммит хийсэн байна","codex.review.refreshGitQueries":"Сэргээх","codex.review.revert.file.error":"{path}-г буцааж чадсангүй","codex.review.revert.file.partialSuccess":"{path}-г хагас буцаасан","codex.review.revert.file.success":"{path}-г буцаасан","codex.review.revert.hunk.error":"{hunkNumber} хэсгийг {path}-д буцааж чадсангүй","codex.review.revert.hunk.partialSuccess":"{hunkNumber} хэсгийг {path}-д хагас буцаасан","codex.review.revert.hunk.success":"{hunkNumber} хэсгийг {path}-д буцаасан","codex.review.revert.section.error":"Хэсгийг буцааж чадсангүй","codex.review.revert.section.partialSuccess":"Хэсгийг хагас буцаасан","codex.review.revert.section.success":"Хэсгийг буцаасан","codex.review.revertDialog.cancel":"Цуцлах","codex.review.revertDialog.confirm":"Баталгаажуулах","codex.review.revertDialog.message":"Энэ үйлдэл эдгээр өөрчлөлтүүдийг устгах болно.","codex.review.revertDialog.skip":"Дахин битгий асуу","codex.review.revertDialog.title":"Өөрчлөлтүүд буцаах уу?","codex.review.richPreview.disable":"Дэлгэрэнгүй урьдчилсан харагдцыг идэвхгүй болгох","codex.review.richPreview.enable":"Дэлгэрэнгүй урьдчилсан харагдцыг идэвхжүүлэх","codex.review.source.cloud":"Cloud өөрчлөлтүүд","codex.review.source.local.all":"Бүх салбарын өөрчлөлтүүд","codex.review.source.local.lastTurn":"Сүүлийн ээлжийн өөрчлөлтүүд","codex.review.source.local.uncommitted":"Коммит хийгдээгүй өөрчлөлтүүд","codex.review.source.worktree":"Коммит хийгдээгүй ажлын модны өөрчлөлтүүд","codex.review.stageFilter.empty.staged.description":"Бэлтгэхийн тулд засваруудыг зөвшөөрөх","codex.review.stageFilter.empty.staged.title":"Бэлтгэсэн өөрчлөлт алга.","codex.review.stageFilter.empty.unstaged.description":"Кодны өөрчлөлтүүд энд харагдах болно","codex.review.stageFilter.empty.unstaged.title":"Бэлтгээгүй өөрчлөлт алга","codex.review.stageFilter.staged":"Stage хийгдсэн","codex.review.stageFilter.staged.count":"Stage хийгдсэн · {count}","codex.review.stageFilter.unstaged":"Unstage хийгдсэн","codex.review.stageFilter.unstaged.count":"Unstage хийгдсэн · {count}","codex.review.switchToSplit":"Хуваасан дифф рүү шилжих","codex.review.switchToUnified":"Нэгтгэсэн дифф рүү шилжих","codex.review.toggleDiffView":"Дифф харагдацыг сэлгэх","codex.review.wordDiffs.disable":"Үгийн диффийг идэвхгүй болгох","codex.review.wordDiffs.enable":"Үгийн дифф идэвхжүүлэх","codex.review.wrap.disable":"Бичвэр ороолтыг идэвхгүй болгох","codex.review.wrap.enable":"Бичвэр ороолтыг идэвхжүүлэх","codex.section.patch.missing":"Энэ хэсэгт нөхөөс үүсгэх боломжгүй.","codex.shell.collapse":"Shell хураах","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Shell контент хуулсан","codex.shell.copy.copyTooltip":"Shell контент хуулах","codex.shell.copyCommand":"Команд хуулах","codex.shell.copyOutput":"Гаралт хуулах","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Shell өргөтгөх","codex.shell.name":"Shell","codex.shell.noOutput":"Гаралт алга","codex.signInFailed.message":"Нэвтрэлт амжилтгүй: {rawMessage}","codex.stories.toast.show":"Toast харуулах","codex.stories.tooltip.basic":"Энэ бол хэрэгслийн зөвлөмж","codex.stories.tooltip.hoverMe":"Энд хулганаа авчир","codex.stories.tooltip.largerOffset":"Энэ хэрэгслийн зөвлөмж хол зайд байрласан","codex.stories.tooltip.offsetButton":"Хол зайд байрласан","codex.stories.tooltip.shortcutButton":"Товчилбортой","codex.stories.tooltip.withShortcut":"Терминал сэлгэх","codex.taskRow.title":"Шинэ хэлхээ","codex.taskRowLayout.confirm":"Баталгаажуулах","codex.threadFindBar.chatFilter":"Чат хайх","codex.threadFindBar.close":"Ололтыг хаах","codex.threadFindBar.diffFilter":"Диффийг хайх","codex.threadFindBar.label":"Хэлхээнээс хайх","codex.threadFindBar.nextResult":"Дараагийн илэрц","codex.threadFindBar.noResults":"0 илэрц","codex.threadFindBar.placeholder":"Жагсаалтыг хайх...","codex.threadFindBar.placeholder.extension":"Жагсаалтыг хайх...","codex.threadFindBar.placeholder.review":"Дифф хайх…","codex.threadFindBar.placeholder.review.extension":"Дифф хайх…","codex.threadFindBar.previousResult":"Өмнөх илэрц","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# файл өөрчлөгдсөн} other {# файл өөрчлөгдсөн}}","codex.unifiedDiff.inlineLargeFile":"Нэг шугамд харуулахад хэт том байна","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Буцаах","codex.unifiedDiff.revertPatchError":"Өөрчлөлтүүдийг буцааж чадсангүй","codex.unifiedDiff.revertPatchSuccess":"Буцаасан өөрчлөлтүүд","codex.unifiedDiff.reviewChangesSuffix":"өөрчлөлтүүд","codex.unifiedDiff.reviewShort":"Хянаж үзэх","codex.unifiedDiff.viewDiffTooltip":"Хянаж үзэх","codex.upsellBanner.business.headline":"Нэмэлт эрх авахын тулд админдаа хүсэлт илгээх, эсвэл {resetDate} хүртэл хүлээнэ үү.","codex.upsellBanner.cbp.headline":"Нэмэлт эрх авахын тулд админдаа хүсэлт илгээнэ үү.","codex.upsellBanner.cta.addCredits":"Кредит нэмэх","codex.upsellBanner.cta.upgradeAccount":"Сайжруулах","codex.upsellBanner.cta.viewUsage":"Хэрэглээ Харах","codex.upsellBanner.freeOrGo.headline":"Таны зарцуулалтын хязгаарыг {resetDate}-д дахин тохируулна. Codex-г үргэлжлүүлэн ашиглахын тулд өнөөдөр Plus болгож сайжруулаарай.","codex.upsellBanner.general.headline":"Таны зарцуулалтын хязгаарыг {resetDate}-д дахин тохируулна.","codex.upsellBanner.general.title":"Таны Codex зурвасын эрх дууссан байна","codex.upsellBanner.plus.headline":"Таны зарцуулалтын хязгаарыг {resetDate}-д дахин тохируулна. Codex-г үргэлжлүүлэн ашиглахын тулд кредит нэмэх, эсвэл өнөөдөр Plus болгож сайжруулаарай.","codex.upsellBanner.pro.headline":"Таны зарцуулалтын хязгаарыг {resetDate}-д дахин тохируулна. Codex-г үргэлжлүүлэн ашиглахын тулд одоо кредит нэмээрэй.","codex.userMessage.autoResolveSync":"Зөрчлийг автоматаар шийдэх","codex.userMessage.commentCount":"{count, plural, one {# сэтгэгдэл} other {# сэтгэгдэл}}","codex.userMessage.copiedAriaLabel":"Хуулсан","codex.userMessage.copiedTooltip":"Хуулсан","codex.userMessage.copyAriaLabel":"Зурвас хуулах","codex.userMessage.copyTooltip":"Хуулах","codex.userMessage.implementPlan":"Төлөвлөгөөг хэрэгжүүлэх","codex.userMessage.noContent":"(Контент байхгүй)","codex.userMessage.priorConversation":"Өмнөх харилцан ярианаас лавладаг","codex.userMessage.reviewMode":"Хянах горим","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}-д","codex.webSearch.summary.verb.completed":"Вебээс хайсан","codex.webSearch.summary.verb.inProgress":"Вебээс хайж байна","codex.windowsInstallWslBanner.dismiss":"Хаах","codex.windowsInstallWslBanner.installWslCta":"Sandbox идэвхжүүлэх","codex.windowsInstallWslBanner.learnMore":"Нэмэлт мэдээлэл авах","codex.windowsSandboxBanner.content":"Агентийн горим нь Windows дээр туршилтын sandbox ашиглан файлын систем болон сүлжээний хандалтыг хязгаарладаг. {sandboxLink}","codex.windowsSandboxBanner.title":"Агентийн горимд sandbox идэвхжүүлэх","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows Тохиргоо","codexUpgradeModal.body":"Codex одоо манай хамгийн сүүлийн үеийн агенттай кодын GPT-5.2-Codex загвараар ажиллаж байна. Код бичих тал дээр {link} бөгөөд GPT-5.2-оос цааш сайжруулж байна.","codexUpgradeModal.close":"Хаах","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"илүү ухаалаг ба хурдан","codexUpgradeModal.title":"Codex саяхан шинэчлэгдлээ","codexUpgradeModal.tryNewModel":"Одоо GPT-5.2-Codex туршаарай","codexUpgradeModal.useExistingModel":"Одоогийн загвараар үргэлжлүүлэх","commentAttachments.numComments":"{count, plural, one {# сэтгэгдэл} other {# сэтгэгдэл}}","commentAttachments.removeAriaLabel":"Сэтгэгдлийн хавсралтыг устгах","common.close":"Хаах","composer.addContext.openFilePickerError":"Файл сонгогчийг нээх боломжгүй","composer.addContextDropdown.ariaLabel":"Файл болон бусад зүйлс нэмэх","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Файл болон бусад зүйлс нэмэх","composer.addPhotosAndFiles":"Зураг ба файл нэмэх","composer.atMentionList.emptyQuery":"Файл хайхын тулд бичнэ үү","composer.atMentionList.loading":"Хайж байна...","composer.atMentionList.noResults":"Илэрц олдсонгүй","composer.attemptsSelector.option":"{count, plural, one {# хувилбар} other {# хувилбар}}","composer.attemptsSelector.tooltip":"Codex-ийн зэрэг хийж болох оролдлогын тоо","composer.attemptsSelector.trigger":"{count}x​","composer.backgroundTerminals.stop":"Зогсоох","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Локал","composer.cloudFollowUp.whereRun":"Дараагийн үйлдлийг хаана явуулах хэрэгтэй вэ?","composer.cloudTaskCreationError":"Cloud даалгавар үүсгэхэд алдаа гарлаа","composer.cloudTaskError":"Даалгавар үүсгэхэд алдаа гарлаа","composer.contextWindow.autoCompactionTooltipLine1":"Codex нь контекстийг автоматаар товчилдог","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Контекстийн цонх:","composer.contextWindowUsageStatusFull":"{usage}% дүүрсэн","composer.contextWindowUsageStatusLeft":"{usage}% ашигласан ({remaining}% үлдсэн)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k токен ашигласан","composer.customCliTooltip":"Тусгай CLI гүйцэтгэлийг ашиглаж байна","composer.dictation.aria":"Ярианаас бичвэр хийх","composer.dictation.cancel.aria":"Яриа бичвэрийг зогсоох","composer.dictation.cancel.tooltip":"Яриа бичвэрийг зогсоох","composer.dictation.startError":"Яриа бичвэр эхлүүлэх боломжгүй","composer.dictation.submit.aria":"Сийрүүлээд илгээх","composer.dictation.submit.tooltip":"Сийрүүлээд илгээх","composer.dictation.tooltip":"Ярианаас бичвэр хийхийн тулд барина уу","composer.dictation.transcribeError":"Аудиог сийрүүлэх боломжгүй","composer.dictation.unsupported":"Энэ төхөөрөмж дээр ярианаас бичвэр хийх боломжгүй","composer.dropOverlay.holdShift":"Оруулахын тулд {key} дарна уу","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Шинээр үүсгэх","composer.environmentSelector.error":"Орчнуудыг ачаалахад алдаа гарлаа","composer.environmentSelector.goBack":"Composer луу буцах","composer.environmentSelector.title":"Орчин сонгох","composer.environmentSelector.tooltip":"Cloud орчин сонгох","composer.feedbackSlashCommand.title":"Санал хүсэлт","composer.filePicker.selectFile":"Файл сонгох","composer.filePicker.selectFiles":"Файлууд сонгох","composer.followerTooltip":"Үргэлжлүүлэхийн тулд энэ харилцан яриа эхэлсэн цонх руу буцна уу.","composer.footer.branchSwitch.checkoutError":"Салбар сольж чадсангүй: {message}","composer.footer.branchSwitch.createAndCheckout":"Шинэ салбар үүсгэн шилжүүлэх…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Шинэ салбар үүсгэн шилжүүлэхийн тулд өөрчлөлтүүдийг коммит хийнэ үү","composer.footer.branchSwitch.createBranchError":"Салбар үүсгэж чадсангүй: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Салбарын нэр","composer.footer.branchSwitch.createDialog.branchExistsError":"Салбар аль хэдийн байна.","composer.footer.branchSwitch.createDialog.close":"Хаах","composer.footer.branchSwitch.createDialog.createAndCheckout":"Үүсгээд шалгах","composer.footer.branchSwitch.createDialog.placeholder":"шинэ-салбар","composer.footer.branchSwitch.createDialog.title":"Салбар үүсгээд шалгах","composer.footer.branchSwitch.createDialog.trailingSlashError":"Салбарын нэр “/” -р төгсөх боломжгүй.","composer.footer.branchSwitch.tooltip":"Салбар солих","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName}-г шалгахын тулд {fileCount, plural, one {# файл} other {# файлууд}} дэх өөрчлөлтүүдийг коммит хийнэ үү.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Коммит хийх","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName}-г шалгах {fileCount, plural, one {# файл} other {# файлууд}} дэх өөрчлөлтүүд.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Цуцлах","composer.footer.branchSwitch.uncommittedDialog.commit":"Коммит хийгээд салбар солих…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Таны дараах файлуудад хийсэн өөрчлөлтүүд шилжилтийн үед дарж бичигдэнэ:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Өөрчлөлтүүдээ коммит хийн үргэлжлүүлнэ үү","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"сонгосон салбар","composer.footer.branchSwitch.uncommittedDialog.title":"Салбар солихын тулд өөрчлөлтүүд коммит хийнэ үү","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Коммит хийгээгүй: {fileCount, plural, one {# файл} other {# файлууд}}","composer.imageInputsUnsupported":"Энэ загвар нь зураг оруулахыг дэмждэггүй. Өөр загвараар үзнэ үү.","composer.imageUploadFailed":"Зураг байршуулж чадсангүй","composer.includeIdeContextDropdown":"IDE агуулгыг багтаа","composer.includeIdeContextDropdown.ariaLabel":"IDE агуулгыг багтаа","composer.localCwdDropdown.addWorkspaceRoot":"Шинэ төсөл нэмэх","composer.localCwdDropdown.noActiveRoot":"Төслөө сонгох","composer.localCwdDropdown.noResults":"Хавтас олдсонгүй","composer.localCwdDropdown.title":"Төслөө сонгох","composer.localTaskError":"Харилцан яриаг эхлүүлэхэд алдаа гарлаа","composer.mcpSlashCommand.description":"MCP серверийн төлөвийг харуулах","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Баталгаажаагүй","composer.mcpStatus.authOauth":"Баталгаажсан (OAuth)","composer.mcpStatus.authToken":"Баталгаажсан (API түлхүүр)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Хаах","composer.mcpStatus.disabled":"Идэвхгүй","composer.mcpStatus.emptyLabel":"Серверүүд:","composer.mcpStatus.emptyValue":"Тохируулсан MCP сервер алга","composer.mcpStatus.enabled":"Идэвхэжсэн","composer.mcpStatus.errorLabel":"Төлөв:","composer.mcpStatus.errorValue":"MCP төлөвийг ачаалах боломжгүй","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Горим солих","composer.mode.agentMode.custom":"Тусгай","composer.mode.agentMode.custom.dropdownLabel":"Тусгай","composer.mode.agentMode.custom.option":"Тусгай (config.toml)","composer.mode.agentMode.custom.optionLabel":"Тусгай (config.toml)","composer.mode.agentMode.customInfo.cancel":"Цуцлах","composer.mode.agentMode.customInfo.cli":"Та эдгээр тохиргоог CLI-с эсвэл файлыг шууд засварлах замаар өөрчилж болно.","composer.mode.agentMode.customInfo.confirm":"Тусгай горим ашиглах","composer.mode.agentMode.customInfo.description":"Тусгай горим нь таны <link>config.toml</link> файлд тодорхойлсон зөвшөөрөл болон sandbox бодлогыг хэрэгжүүлдэг.","composer.mode.agentMode.customInfo.docs":"<link>Гүйцэтгэх орчны баримт бичиг</link> дэх зөвшөөрөл болон sandbox бодлогыг хэрхэн тохируулах талаар нэмэлт мэдээлэл аваарай.","composer.mode.agentMode.customInfo.refresh":"Агент дараагийн удаа ажиллах үед өөрчлөлтүүд хэрэгжинэ.","composer.mode.agentMode.customInfo.title":"Тусгай горим яаж ажилладаг","composer.mode.agentMode.fullAccess":"Агент (бүрэн эрх)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (бүрэн эрх)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (бүрэн эрх)","composer.mode.agentMode.fullAccessConfirm.caution":"Бүрэн хандалтын эрхийг идэвхжүүлэхдээ анхаарна уу. Энэ нь өгөгдөл устах, алдагдах эсвэл урьдчилан тооцоолоогүй үйлдэл гарах эрсдэлийг ихэсгэдэг.","composer.mode.agentMode.fullAccessConfirm.confirm":"Тийм, үргэлжлүүлнэ үү","composer.mode.agentMode.fullAccessConfirm.description":"Codex бүрэн хандалтын эрхтэй үед таны зөвшөөрөлгүйгээр компьютерт байгаа аливаа файлыг засварлаж, сүлжээгээр команд уншуулах боломжтой.","composer.mode.agentMode.fullAccessConfirm.goBack":"Цуцлах","composer.mode.agentMode.fullAccessConfirm.title":"Бүрэн хандалтын эрхийг идэвхжүүлэх үү?","composer.mode.agentMode.readOnly":"Чат","composer.mode.agentMode.readOnly.dropdownLabel":"Чат","composer.mode.agentMode.readOnly.optionLabel":"Чат","composer.mode.agentMode.tooltip":"Горим солих","composer.mode.agentMode.tooltip.auto":"Файл уншиж, засварлаж, мөн команд уншуулна.","composer.mode.agentMode.tooltip.custom":"config.toml дотор тодорхойлсон зөвшөөрөл болон sandbox бодлогын хамгийн сүүлийн хувилбарыг ашиглана.","composer.mode.agentMode.tooltip.fullAccess":"Codex төслөөс гаднах файлуудыг засварлах, сүлжээнд команд уншуулах боломжтой. Болгоомжтой ашиглана уу.","composer.mode.agentMode.tooltip.readOnly":"Файл засварлах болон команд уншуулахад зөвшөөрөл шаардлагатай.","composer.mode.cloud.tooltip":"Cloud орчинд ажиллах","composer.mode.contactAdmin":"Нэмэлт эрх авахын тулд админтайгаа холбогдоно уу","composer.mode.local":"Локал","composer.mode.local.learnMore":"Нэмэлт мэдээлэл авах","composer.mode.local.model.custom":"Тусгай","composer.mode.local.model.loadingModel":"Загварыг ачаалж байна","composer.mode.local.model.selecrReasoningEffort":"Эргэцүүлэл сонгох","composer.mode.local.model.selectModel":"Загвар сонгох","composer.mode.local.model.tooltip":"Загвар сонгох","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Их","composer.mode.local.reasoning.low.label":"Бага","composer.mode.local.reasoning.medium.label":"Дунд","composer.mode.local.reasoning.minimal.label":"Хамгийн бага","composer.mode.local.reasoning.none.label":"Байхгүй","composer.mode.local.reasoning.xhigh.label":"Маш Өндөр","composer.mode.localRemoteWhereRun":"Даалгавар явуулах орчинг сонгох","composer.mode.newTask.header":"Үргэлжлүүлэх","composer.mode.rateLimit.day":"{days}ө","composer.mode.rateLimit.heading":"Үлдсэн зарцуулалтын хязгаар","composer.mode.rateLimit.hour":"{hours}ц","composer.mode.rateLimit.minute":"{minutes}м","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {долоо хоног тутмын хязгаар} other {{weeks} долоо хоногийн хязгаар}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Долоо хоног бүр} other {{weeks} Долоо хоног}}","composer.mode.remote.connectToCloud":"Codex веб холбох","composer.mode.remote.connectToCloudDisabledTooltip":"Cloud руу даалгавар илгээхийн тулд Codex вебээр орчин үүсгэх","composer.mode.remote.selectEnvironment":"Орчин сонгох","composer.mode.remote.sendToCloud":"Cloud руу илгээх","composer.mode.remote.setupViaWeb":"Codex вебээр орчин үүсгэх","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Клоуд орчинд ажиллах","composer.mode.segmentedToggle.local.tooltip":"Локал төсөл дээрээ ажиллах","composer.mode.segmentedToggle.worktree.tooltip":"Зэрэгцээ ажлын мод дээр ажиллах","composer.mode.upgradeToPlus":"Plus болгож сайжруулах","composer.mode.upgradeToPro":"Pro болгож сайжруулах","composer.mode.workLocally":"Локал төсөл","composer.mode.workLocally.currentBranchFallback":"таны салбар","composer.mode.workLocally.tooltip":"{branchName} дээр ажиллах","composer.mode.worktree":"Шинэ ажлын мод","composer.mode.worktree.submoduleWarning":"Энэ репозиторт git дэд модулиуд байна. Ажлын модыг үүсгэхэд алдаа гарч болзошгүй","composer.mode.worktree.tooltip":"Зэрэг ажиллахын тулд өөрийн локал төслийн хуулбарыг үүсгэнэ үү","composer.mode.worktreeSegment":"Worktree","composer.newChat.heading.browser":"Дараа нь бид ямар код бичих вэ?","composer.permissionsDropdown.custom.label":"Тусгай (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Тусгай (config.toml)","composer.permissionsDropdown.default.label":"Өгөгдмөл зөвшөөрлүүд","composer.permissionsDropdown.default.optionLabel":"Өгөгдмөл зөвшөөрлүүд","composer.permissionsDropdown.fullAccess.disabled":"Бүрэн хандалтыг requirements.toml файлын шаардлагаар идэвхгүй болгосон байна.","composer.permissionsDropdown.trigger.tooltip":"Зөвшөөрөл өөрчлөх","composer.personalitySlashCommand.description.friendly":"Халуун дулаан, хамтралын, тус дэмтэй","composer.personalitySlashCommand.description.pragmatic":"Товч тодорхой, даалгаварт төвлөрсөн, шууд","composer.personalitySlashCommand.label.friendly":"Нөхөрсөг","composer.personalitySlashCommand.label.pragmatic":"Прагматик","composer.personalitySlashCommand.notApplicableSuffix":"(Одоогийн загварт хамаарахгүй)","composer.personalitySlashCommand.title":"Зан төлөв","composer.placeholder.cloudFollowUp.directFollowUp":"Энэ cloud даалгаварт зориулсан нэмэлтүүд","composer.placeholder.cloudFollowUp.local":"Энэ cloud даалгаврыг ашиглан шинэ локал даалгавар үүсгэх","composer.placeholder.cloudFollowUp.workingTree":"Өөрийн одоогийн кодыг агуулсан ба энэ даалгаврыг ашиглах шинэ cloud даалгавар үүсгэнэ үү","composer.placeholder.localFollowUp.cloud":"Шинэ cloud даалгавар дээрх нэмэлт","composer.placeholder.localFollowUp.locally":"Нэмэлт өөрчлөлтүүд асуух","composer.placeholder.newTask.cloud":"Cloud дээр Codex-оор хүссэнээ хийлгээрэй","composer.placeholder.newTask.doAnything":"Codex-оор хүссэнээ хийлгээрэй","composer.placeholder.newTask.locally":"Codexоос юу ч байсан асуугаарай файл нэмэхдээ @ тэмдгийг ашиглана команд ашиглахдаа / тэмдгийг ашиглана","composer.planModeDropdown":"Багцын горим","composer.planModeDropdown.ariaLabel":"Багцын горим","composer.planModeIndicator":"Багц","composer.planSlashCommand.disableDescription":"Багцын горим унтраах","composer.planSlashCommand.enableDescription":"Багцын горим асаах","composer.planSlashCommand.title":"Багцын горим","composer.priorContext.label":"Өмнөх контекст","composer.priorContext.removeAriaLabel":"Өмнөх контекстийг устгах","composer.queuedMessage.delete":"Дараалалд орсон зурвасыг устгах","composer.queuedMessage.edit":"Зурвас засах","composer.queuedMessage.more":"Дараалалд орсон зурвасын үйлдлүүд","composer.queuedMessage.sendNow":"Одоо илгээх","composer.queuedMessage.turnOff":"Дарааллыг унтраах","composer.reasoningEffort.local.reasoning.tooltip":"Эргэцүүллийн түвшин сонгох","composer.remote.branchStartingPoint":"Энэ даалгавар ямар салбараас эхлэх хэрэгтэй вэ?","composer.remote.branchesSectionHeading":"Салбарууд","composer.remote.currentEditsSuffix.followUp":"Энэ cloud даалгавартай холбогдох шинэ даалгавар үүсгэх.","composer.remote.currentEditsSuffix.useLocal":"локал кодын өөрчлөлтүүдтэй","composer.remote.directFollowUp":"Локал өөрчлөлтүүд ашиглахгүй","composer.remote.errorLoadingBranches":"Салбарыг ачаалахад алдаа гарлаа","composer.remote.fromBranch":"{branch}-с","composer.remote.fromCurrentBranch":"{branch}-с (одоогийн)","composer.remote.loadingMoreBranches":"Ачаалж байна…","composer.remote.localFileStateHeading":"Локал файлын төлөв","composer.remote.localWorkingTree":"Локал өөрчлөлтүүд ашиглах","composer.remote.startingPoint":"Энэ даалгавар ямар кодоос эхлэх хэрэгтэй вэ?","composer.reviewMode.branches.error":"Салбарууд ачаалах боломжгүй","composer.reviewMode.branches.retry":"Дахин оролдох","composer.reviewMode.gitRoot.error":"Git үндэс олдсонгүй","composer.reviewMode.option.baseBranch.simple":"Үндсэн салбартай харьцуулж хянах","composer.reviewMode.option.unstaged.simple":"Коммит хийгдээгүй өөрчлөлтүүдийг хянах","composer.reviewMode.quickReviewError":"Кодын хяналт эхлүүлж чадсангүй.","composer.reviewMode.title":"Кодын хяналт","composer.sandboxButton.unlock.disabled.tooltip":"Бүрэн хандалтыг requirements.toml файлын шаардлагаар идэвхгүй болгосон байна.","composer.sandboxButton.windowsSandboxDialog.content":"Codex нь Windows дээр туршилтын sandbox ашиглан файлын систем болон сүлжээний хандалтыг хязгаарладаг. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows sandbox идэвхжүүлэх үү?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Зөвхөн-унших горим ашиглах","composer.searchEnvironments":"Орчин хайх","composer.skillMentionList.app":"Апп","composer.skillMentionList.loading":"Чадварууд ачаалж байна...","composer.skillMentionList.noResults":"Чадвар олдсонгүй","composer.slashCommands.cloudEnvironment.title":"Cloud орчин","composer.slashCommands.dialogLabel":"Налуу зураастай командын цэс","composer.slashCommands.dialogTitle":"Налуу зураастай командууд","composer.slashCommands.disabledTooltip":"Налуу зураастай команд ашиглахын тулд шинэ харилцан яриа эхлүүлнэ үү","composer.slashCommands.inputPlaceholder":"Хайх","composer.slashCommands.noResults":"Команд байхгүй","composer.slashCommands.skillsGroup":"Чадварууд","composer.slashCommands.tooltip":"Налуу зураастай командууд харах","composer.status.close":"Хаах","composer.statusPlain.alertLabel":"Анхааруулга:","composer.statusPlain.alertValue":"{window}-д {remaining}% үлдсэн","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count}М","composer.statusPlain.contextValueMetadata":"({used} ашигласан / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% үлдсэн","composer.statusPlain.heading":"Төлөв","composer.statusPlain.rateLimitDays":"{count}ө хязгаар","composer.statusPlain.rateLimitFallbackLabel":"Зарцуулалтын хязгаар:","composer.statusPlain.rateLimitHours":"{count}ц хязгаар","composer.statusPlain.rateLimitLabelBase":"Зарцуулалтын хязгаар","composer.statusPlain.rateLimitMinutes":"{count}м хязгаар","composer.statusPlain.rateLimitPercent":"{remaining}% үлдсэн","composer.statusPlain.rateLimitReset":"{time}-д дахин шинэчлэгдэнэ","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"дахин тохируулах цаг тодорхойгүй","composer.statusPlain.rateLimitUnavailable":"Боломжгүй","composer.statusPlain.sessionCopiedAriaLabel":"Холболтын хэсгийн id хуулсан","composer.statusPlain.sessionCopiedTooltip":"ID хуулсан","composer.statusPlain.sessionCopyAriaLabel":"Холболтын хэсгийн id хуулах","composer.statusPlain.sessionCopyTooltip":"ID хуулах","composer.statusPlain.sessionLabel":"Холболтын хэсэг:","composer.statusSlashCommand.description":"Хэлхээний id, контекстийн хэрэглээ, зарцуулалтын хязгаарыг харуулах","composer.statusSlashCommand.title":"Төлөв","composer.submit.blockedDialogOk":"ОК","composer.submit.blockedDialogTitle":"Зурвас илгээх боломжгүй","composer.submit.emptyMessage":"Эхлэхийн тулд зурвас оруулна уу","composer.submit.imageInputsUnsupported":"Энэ зурвасыг илгээхийн тулд зургууд устгах эсвэл загвар солино уу.","composer.submit.loadingLocalConfig":"Ачаалж байна…","composer.submit.missingCloudConfig":"Та Cloud орчин сонгох ёстой","composer.submit.missingCloudTurn":"Энэ даалгаврын дараагийн үйлдэл боломжгүй","composer.submit.noWorkspace":"Codex ашиглахын тулд төсөл нэмнэ үү","composer.submit.waitForImageUploads":"Зургуудыг байршуулж байна…","composer.submitButtonTooltip.send":"Илгээх","composer.submitButtonTooltip.stop":"Зогсоох","composer.worktreeEnvironment.create":"Локал орчин үүсгэх","composer.worktreeEnvironment.default":"Өгөгдмөл орчин","composer.worktreeEnvironment.error":"Орчнуудыг ачаалахад алдаа гарлаа","composer.worktreeEnvironment.loading":"Орчнуудыг ачаалж байна…","composer.worktreeEnvironment.title":"Локал орчин","composer.worktreeEnvironment.tooltip":"Локал орчин сонгох","composer.worktreeSetupFailed":"Worktree тохиргоо амжилтгүй боллоо. Тохиргооны скриптийг шалгахын тулд .codex/environments үзнэ үү.","compoundButton.secondaryAction":"Хоёрдогч үйлдэл","copyButton.copied":"Хуулсан","copyButton.copiedAriaLabel":"Хуулсан","copyButton.copy":"Хуулах","copyButton.copyAriaLabel":"Хуулах","copyButton.copyCode":"Код хуулах","diff.actionButton.revertFile":"Файлыг буцаах","diff.actionButton.revertHunk":"Буцаах","diff.actionButton.revertSection":"Бүгдийг буцаах","diff.actionButton.revertSectionLabel":"Бүгдийг буцаах","diff.actionButton.stageFile":"Файлыг stage хийх","diff.actionButton.stageHunk":"Stage хийх","diff.actionButton.stageSection":"Бүгдийг stage хийх","diff.actionButton.stageSectionLabel":"Бүгдийг бэлтгэх","diff.actionButton.unstageFile":"Файлыг unstage хийх","diff.actionButton.unstageHunk":"Unstage хийх","diff.actionButton.unstageSection":"Бүгдийг unstage хийх","diff.actionButton.unstageSectionLabel":"Бүгдийг бэлтгэлээс буцаах","diff.fileHeader.toggle":"Файлын дифф сэлгэх","electron.onboarding.login.apikey.cancel":"Цуцлах","electron.onboarding.login.apikey.continue":"Үргэлжлүүлэх","electron.onboarding.login.apikey.label":"OpenAI API түлхүүр","electron.onboarding.login.apikey.open":"API түлхүүр оруулах","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Нэвтрэлтийг цуцлах","electron.onboarding.login.chatgpt.continue":"ChatGPT-ээр үргэлжлүүлэх","electron.onboarding.login.devbox":"Алсын SSH-д холбогдох","electron.onboarding.login.error":"Нэвтрэлт амжилтгүй: {rawMessage}","electron.onboarding.login.snake.start":"Snake тоглох","electron.onboarding.login.sshConfig.cancel":"Цуцлах","electron.onboarding.login.sshConfig.continue":"Үргэлжлүүлэх","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Хостын нэр","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Агентууд ашиглан бүтээх хамгийн сайн арга","electron.onboarding.login.title":"Codex-д тавтай морил","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Үргэлжлүүлэх","electron.onboarding.welcome.doubleLimits.description":"Codex аппын нээлттэй холбоотойгоор та 4-р сарын 2 хүртэл 2× зарцуулалтын хязгаар эдэлж байна.","electron.onboarding.welcome.freego.description":"Codex 3-р сарын 2 хүртэл таны багцад үнэгүй багтсан – хамтдаа бүтээж эхэлье.","electron.onboarding.welcome.new.title.anon":"Тавтай морил!","electron.onboarding.workspace.continue":"Үргэлжлүүлэх","electron.onboarding.workspace.empty":"Үргэлжлүүлэхийн тулд төсөл нэмнэ үү.","electron.onboarding.workspace.listLabel":"Боломжит төслүүд","electron.onboarding.workspace.loading":"Төслүүдийг ачаалж байна…","electron.onboarding.workspace.openFolder":"Төсөл нэмэх","electron.onboarding.workspace.selectAll":"Бүгдийг сонгох","electron.onboarding.workspace.skip":"Алгасах","electron.onboarding.workspace.skip.error":"Шинэ төсөл үүсгэх боломжгүй: {message}","electron.onboarding.workspace.skip.error.unknown":"Тодорхойгүй алдаа","electron.onboarding.workspace.skipping":"Шинэ төсөл үүсгэж байна…","electron.onboarding.workspace.subtitle":"Codex сонгосон хавтаснуудад файл засварлаж, команд уншуулах боломжтой болно.","electron.onboarding.workspace.title":"Төсөл сонгох","errorPage.list.checkSettings":"IDE тохиргоогоо шинэчилж үзнэ үү","errorPage.list.configToml":"config.toml дотор буруу тохиргоо байгаа эсэхийг шалгана уу","errorPage.list.downloadExtension":"Өргөтгөлийн өөр нэг хувилбарыг татаж үзнэ үү","errorPage.list.runInWsl":"Нийцлийн асуудал гарвал өөрийн тохиргооноос WSL-д уншуулах үйлдлийг идэвхгүй болгосон эсэхийг шалгана уу","execApprovalRequest.menu.runAlways":"Тиймээ, энэ холболтын хэсгийг дахин бүү асуу","execApprovalRequest.menu.runAlwaysWithAmendment":"Тийм. Мөн {command}-р эхэлсэн командуудад дахин бүү асуу","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Тийм. Мөн -р эхэлсэн командуудад дахин бүү асуу","execApprovalRequest.menu.runOnce":"Тийм","execApprovalRequest.prompt":"Энэ командыг ажиллуулах уу?","execApprovalRequest.reject":"Үгүй","execFooter.exitCode":"{code} кодоос гарах","execFooter.exitCode.unknown":"тодорхойгүй","execFooter.success":"Амжилттай","feedback.dialog.category.badResult":"Муу илэрц","feedback.dialog.category.bug":"Алдаа","feedback.dialog.category.goodResult":"Сайн илэрц","feedback.dialog.category.other":"Бусад","feedback.dialog.descriptionPlaceholder":"Энд асуудлыг тодорхойлно уу","feedback.dialog.dismiss":"Хаах","feedback.dialog.includeLogsLabel":"Одоогийн Codex холболтын хэсгийн бүртгэлийг оруулах","feedback.dialog.submit":"Илгээх","feedback.dialog.submitError":"Таны сэтгэгдлийг илгээж чадсангүй. Түр хүлээгээд дахин оролдоно уу.","feedback.dialog.title":"Санал хүсэлт","feedback.dialog.uploadedMessage.existingIssue":"одоо байгаа нээлттэй асуудал","feedback.dialog.uploadedMessage.openIssue":"GitHub асуудал нээх","feedback.dialog.uploadedMessage.withThread":"Санал хүсэлт байршуулсан. Хэрэв асуудал хэвээр байвал, {openIssueLink} эсвэл {existingIssueLink} дээр тухайн хэлхээний id-г дурдана уу:","feedback.dialog.uploadedTitle":"Санал хүсэлт байршуулсан","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} устгах","header.back":"Буцах","header.recentChats":"Даалгаврууд","header.recentTasks.seeAll":"Бүгдийг харах ({total})","home.header.getPlus":"Plus багц авах","home.hero.letsBuild":"Бүтээцгээе","homePage.mainContent":"Үндсэн контент","imageAttachment.defaultName":"зураг","imageAttachment.preview.close":"Зургийн урьдчилан харалыг зогсоо","imageAttachment.removeAriaLabel":"{filename} устгах","implementPlanRequest.option.implement":"Тиймээ, энэ төлөвлөгөөг хэрэгжүүл","implementPlanRequest.prompt":"Энэ төлөвлөгөөг хэрэгжүүлэх үү?","inbox.archived.deleteError":"Архивласан ажиллагааг устгаж чадсангүй","inbox.archived.deleteRun":"Архивласан ажиллагааг устгах","inbox.archived.deleteSuccess":"Архивласан ярианы хэлхээг устгалаа. <settingsLink>Архивласан ярианы хэлхээ</settingsLink> дээрээс үзнэ үү.","inbox.archived.inlineLabel.auto":"Энэ ярианы хэлхээ автоматаар архивлагдлаа. <learnMoreLink>Нэмэлт мэдээлэл авах</learnMoreLink>","inbox.archived.inlineLabel.manual":"Энэ ярианы хэлхээ архивлагдсан байна.","inbox.archived.noMessageFound":"Зурвас олдсонгүй","inbox.automations.createError":"Автоматжуулалт үүсгэж чадсангүй","inbox.automations.deleteConfirm.cancel":"Цуцлах","inbox.automations.deleteConfirm.confirm":"Автоматжуулалт устгах","inbox.automations.deleteConfirm.description":"Энэ нь автоматжуулалтыг бүрмөсөн устгаж, цаашдын бүх ажиллагааг зогсооно.","inbox.automations.deleteConfirm.title":"{name}-г устгах уу?","inbox.automations.deleteError":"Автоматжуулалт устгаж чадсангүй","inbox.automations.editTooltip":"Автоматжуулалт засварлах","inbox.automations.inProgress":"Хийгдэж байна","inbox.automations.new":"Шинэ","inbox.automations.newToolbar":"Шинэ автоматжуулалт","inbox.automations.pauseTooltip":"Автоматжуулалтыг түр зогсоох","inbox.automations.resumeTooltip":"Автоматжуулалтыг үргэлжлүүлэх","inbox.automations.startingNow":"Одоо эхэлж байна","inbox.automations.startsIn":"Багц {startTime}-д эхэлнэ.","inbox.automations.status.active":"Идэвхтэй","inbox.automations.status.paused":"Түр зогсоосон","inbox.automations.status.runs":"{count} ажиллагаа","inbox.automations.status.started":"{date} эхэлсэн","inbox.automations.updateError":"Автоматжуулалт шинэчилж чадсангүй","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Бүгд","inbox.filter.ariaLabel":"Инбокс зүйлсийг шүүх","inbox.filter.unread":"Уншаагүй","inbox.list.archived":"Архивласан","inbox.list.inProgress":"Хийгдэж байна","inbox.list.recent":"Дууссан","inbox.list.upNext":"Төлөвлөсөн","inbox.mode.automations":"Автоматжуулалт","inbox.mode.automations.beta":"Бета","inbox.noDescription":"Тайлбар оруулаагүй байна","inbox.openThread":"Хэлхээ нээх","inbox.rightPanel.emptySubtitle":"Товлосон даалгаврууд үүсгэх замаар ажлыг автоматжуулах","inbox.rightPanel.emptySubtitle.learnMore":"Товлосон  хэлхээг тохируулах замаар ажлыг автоматжуулах. <link>Нэмэлт мэдээлэл авах</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# идэвхтэй автоматжуулалт} other {# идэвхтэй автоматжуулалт}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Уншаагүй автоматжуулалт алга","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# уншаагүй автоматжуулалт} other {# уншаагүй автоматжуулалт}}","inbox.rightPanel.emptyTitle":"Сонгосон зүйл алга","inbox.rightPanel.noThread":"Энэ зүйлд хэлхээ байхгүй","inbox.rightPanel.quickStart.header":"Загвараар эхлэх","inbox.untitled":"Гарчиггүй инбоксын зүйл","loadingPage.documentationLink":"бичиг баримт","loadingPage.errorDescription":"Codex дараах алдааны улмаас зогслоо:","loadingPage.errorDescription.documentation":"Codex өргөтгөл дахин эхлүүлэхийн тулд дахин ачаалах товчийг дарах, эсвэл манай {documentationLink}-с нэмэлт тусламж авна уу.","loadingPage.errorSignal":"Туршиж үзэх зүйлс:","loadingPage.errorTitle":"Алдаа гарлаа","loadingPage.openConfigToml":"Config.toml нээх","loadingPage.reload":"Дахин ачаалах","localConversation.contextCompacted":"Контекстийг автоматаар товчилсон","localConversation.contextCompacting":"Контекстийг автоматаар товчилж байна","localConversation.merge.autoResolve.failed":"Автомат шийдэл амжилтгүй боллоо: {error}","localConversation.merge.autoResolve.sent":"Автомат шийдлийн хүсэлтийг илгээсэн","localConversation.merge.autoResolveMerge.missingConversation":"Идэвхтэй харилцан яриагүйгээр автомат шийдэл нь боломжгүй юм.","localConversation.merge.autoResolveMerge.request":"Нэгтгэх зөрчилдөөнүүдийг автоматаар шийдвэрлэх","localConversation.moveThread.createBranch.label":"Салбар үүсгэх","localConversation.moveToLocal.disabled.loading":"Ачаалж байна…","localConversation.moveToLocal.modal.continue":"Үргэлжлүүлэх","localConversation.moveToLocal.modal.destinationLabel":"Руу шилжүүлэх","localConversation.moveToLocal.modal.retry":"Дахин оролдох","localConversation.moveToWorktree.modal.back":"Буцах","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Салбар аль хэдийн байна.","localConversation.moveToWorktree.modal.branchesError":"Салбарууд ачаалах боломжгүй","localConversation.moveToWorktree.modal.branchesLoading":"Салбаруудыг ачаалж байна…","localConversation.moveToWorktree.modal.branchesRetry":"Дахин оролдох","localConversation.moveToWorktree.modal.continue":"Үргэлжлүүлэх","localConversation.moveToWorktree.modal.retry":"Дахин оролдох","localConversation.moveToWorktree.modal.trailingSlashError":"Салбарын нэр “/” -р төгсөх боломжгүй.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"шинэ-салбар","localConversation.personalityChanged":"{personality} зан төлөвд шилжсэн","localConversation.planSummary.collapse":"Багцын хураангуйг хураах","localConversation.planSummary.collapseTooltip":"Хураах","localConversation.planSummary.download":"Багц татах","localConversation.planSummary.expand":"Багцын хураангуйг өргөтгөх","localConversation.planSummary.expandTooltip":"Өргөтгөх","localConversation.planSummary.openInNewWindow":"Нээх","localConversation.planSummary.openInNewWindow.tooltip":"Шинэ цонхонд нээх","localConversation.planSummary.title":"Багц","localConversation.planSummary.titleWriting":"Бичих төлөвлөгөө","localConversation.planSummary.viewPlan":"Багц өргөтгөх","localConversation.remoteTaskCreated":"Codex Cloud дотор {taskLink} үүсгэсэн","localConversation.remoteTaskCreated.task":"даалгавар","localConversation.scrollToBottomButton":"Доош гүйлгэх","localConversation.sync.buttonLabel":"Локал руу шилжүүлэх","localConversation.sync.buttonLabel.tooltip":"Энэ ажлын мод болон өөрийн локал шалгалт хоёрын хооронд захиалга өөрчлөгдөнө.","localConversation.sync.modal.loading.title":"Өөрчлөлтүүдийг шилжүүлж байна…","localConversation.sync.modal.noChanges":"Өөрчлөлтгүй","localConversation.syncSetup.branchAriaLabel":"Салбарын нэр","localConversation.syncSetup.branchName":"Салбарын нэр","localConversation.syncSetup.branchPlaceholder.existing":"Одоо байгаа салбар сонгох","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Салбаруудыг ачаалж байна…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Аль хэдийн шинэчилсэн","localConversation.syncSetup.checkoutClean":"Одоогийн байдлаар {branchName}-д","localConversation.syncSetup.checkoutDirty":"Одоогийн байдлаар {branchName}-д коммит хийгдээгүй өөрчлөлтүүдтэй","localConversation.syncSetup.checkoutError":"Салбарыг шинэчилж чадсангүй: {message}","localConversation.syncSetup.checkoutLabel":"Локал орчинд одоо шинэчлэх","localConversation.syncSetup.checkoutOnLocal":"Локал руу шилжүүлэх","localConversation.syncSetup.checkoutPending":"Локал төлөвийг шалгаж байна…","localConversation.syncSetup.checkoutUnavailable":"Локал ажлын талбар боломжгүй","localConversation.syncSetup.checkoutUnknown":"Локал салбар боломжгүй","localConversation.syncSetup.continue":"Үргэлжлүүлэх","localConversation.syncSetup.createBranchError":"Шилжүүлэх салбарыг тохируулж чадсангүй: {message}","localConversation.syncSetup.error":"Ямар нэгэн алдаа гарлаа: {message}","localConversation.syncSetup.error.workingTreeMissing":"Ажлын модыг снэпшот хийж чадсангүй. Дахин шилжүүлж үзнэ үү.","localConversation.syncSetup.mode.ariaLabel":"Салбарын горим сонгох","localConversation.syncSetup.mode.existing":"Одоо байгаа салбар","localConversation.syncSetup.mode.new":"Шинэ салбар","localConversation.syncSetup.noBranches":"Салбар олдсонгүй","localConversation.syncSetup.overwriteError":"Салбар үүссэн боловч бүрэн шилжээгүй байна. Локал орчинд шинэчлэхээс өмнө гар аргаар шилжүүлнэ үү.","localConversation.syncSetup.setPrefix":"Угтвар өгөх","localConversation.syncSetup.subtitle":"Ажлын модны өөрчлөлтүүдийг локал орчинд туршиж, засварлана. <a>Нэмэлт мэдээлэл авах</a>","localConversation.syncSetup.success.checkedOut":"Салбар үүссэн ба локал орчинд шинэчлэгдсэн байна","localConversation.syncSetup.success.notCheckedOut":"Салбар үүссэн","localConversation.syncSetup.title":"Локал салбар луу шилжүүлэх","localConversation.syncWorktreeError.branchAriaLabel":"Салбарын нэр","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Шилжүүлэх салбарыг сонгоод өөрчлөлтүүдийг дахин ачаална уу.","localConversation.syncWorktreeError.branchSetup.title":"Салбар шинэчлэх","localConversation.syncWorktreeError.branchUpdate.cta":"Шинэчлээд дахин оролдох","localConversation.syncWorktreeError.branchUpdate.error":"Салбарыг шинэчилж чадсангүй: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Ямар нэгэн алдаа гарлаа: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Салбар аль ч ажлын мод дээр шинэчлэгдээгүй байна.","localConversation.syncWorktreeV2.applyUncommitted":"Хэрэгжүүлэх","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Коммит хийгдээгүй өөрчлөлтүүд оруулахын тулд салбарыг локал орчинд шинэчлэх ёстой","localConversation.syncWorktreeV2.branches.empty":"Салбар олдсонгүй","localConversation.syncWorktreeV2.branches.loading":"Салбаруудыг ачаалж байна…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Шилжүүлэх салбарыг өөрчлөх","localConversation.syncWorktreeV2.changeBranch.error":"Шилжүүлэх салбарыг өөрчилж чадсангүй: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Хэрэгжүүлэлт амжилтгүй","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Ажлын модыг дарж бичих амжилтгүй боллоо","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Локал дарж бичилт амжилтгүй","localConversation.syncWorktreeV2.commandError.back":"Буцах","localConversation.syncWorktreeV2.commandError.body":"Шилжүүлэх явцад git командын алдаа гарлаа. Гаралтыг шалгаад дахин оролдоно уу.","localConversation.syncWorktreeV2.commandError.retry":"Дахин оролдох","localConversation.syncWorktreeV2.description":"Өөрчлөлтүүдийг локал ба энэ ажлын мод хооронд шилжүүлнэ үү <a>Нэмэлт мэдээлэл авах</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Шилжүүлэх чиглэлийг сонгоно уу","localConversation.syncWorktreeV2.error.generic":"Шилжүүлэх явцад алдаа гарлаа. Дахин оролдоно уу.","localConversation.syncWorktreeV2.localBranchLabel":"Локал","localConversation.syncWorktreeV2.noChanges":"Өөрчлөлтүүдийг тооцож байна","localConversation.syncWorktreeV2.noChanges.summary":"Өөрчлөлтгүй","localConversation.syncWorktreeV2.overwrite.local":"Локал дарж бичилт","localConversation.syncWorktreeV2.overwrite.worktree":"Ажлын модыг дарж бичих","localConversation.syncWorktreeV2.partial.action.applyFailed":"Өөрчлөлтүүд оруулж чадсангүй","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Локал өөрчлөлтүүдийг дарж бичих боломжгүй","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Ажлын модны өөрчлөлтүүдийг дарж бичих боломжгүй","localConversation.syncWorktreeV2.partial.appliedLabel":"Хэрэгжсэн","localConversation.syncWorktreeV2.partial.back":"Буцах","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Зөрчлүүдийг шийдвэрлээд дахин оролдоно уу.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Зөрчлүүд","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# файл} other {# файлууд}}","localConversation.syncWorktreeV2.partial.retry":"Дахин оролдох","localConversation.syncWorktreeV2.partial.skippedLabel":"Алгассан","localConversation.syncWorktreeV2.stateFailed.generic":"Ажлын модны өөрчлөлтүүдийг шилжүүлэхээр дуудах үед алдаа гарлаа. Дахин оролдоно уу.","localConversation.syncWorktreeV2.stateFailed.title":"Ажлын модны өөрчлөлтүүдийг ачаалж чадсангүй","localConversation.syncWorktreeV2.statusError.diffUnknown":"Ажлын модны өөрчлөлтүүдийг ачаалж чадсангүй.","localConversation.syncWorktreeV2.statusError.retry":"Дахин оролдох","localConversation.syncWorktreeV2.statusError.title":"Локал салбарын өөрчлөлтүүдийг ачаалах боломжгүй","localConversation.syncWorktreeV2.statusError.unknown":"Салбарын төлөв одоогоор боломжгүй байна. Дахин оролдоно уу.","localConversation.syncWorktreeV2.success.apply":"Өөрчлөлтүүдийг амжилттай орууллаа","localConversation.syncWorktreeV2.success.overwrite":"Шилжүүлэлт амжилттай","localConversation.syncWorktreeV2.title":"Өөрчлөлтүүд шилжүүлэх","localConversation.syncWorktreeV2.worktreeLabel":"Ажлын мод","localConversation.userInputRequest.inProgress":"{count, plural, one {асуулт} other {асуултууд}}-с асууж байна","localConversation.userInputRequest.noAnswer":"Өгсөн хариулт алга","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Асуусан","localConversation.userInputRequest.summary.count":"{count, plural, one {# асуулт} other {# асуултууд}}","localConversation.workedFor":"{time}-н турш ажилласан","localConversation.worktreeBranchSetup.action.create":"Үүсгэх","localConversation.worktreeBranchSetup.branchAriaLabel":"Салбарын нэр","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Шинэ салбар нэмэх","localConversation.worktreeBranchSetup.checkoutDisabled":"Энэ салбар аль хэдийн {location}-д шинэчлэгдсэн байна","localConversation.worktreeBranchSetup.checkoutError":"Салбарыг шинэчилж чадсангүй: {message}","localConversation.worktreeBranchSetup.createBranchError":"Салбарыг тохируулж чадсангүй: {message}","localConversation.worktreeBranchSetup.error":"Ямар нэгэн алдаа гарлаа: {message}","localConversation.worktreeBranchSetup.subtitle":"Өөрчлөлт коммит хийх, түлхэх болон энэ ажлын модноос PR үүсгэхийн тулд салбар үүсгэнэ үү. <a>Нэмэлт мэдээлэл авах</a>","localConversation.worktreeBranchSetup.title":"Энд ажиллах","localConversationPage.addWorktreeToSidebar.tooltip":"Төслөөр хадгалснаар, та энэ ажлын модноос шинэ хэлхээнүүдийг эхлүүлэх боломжтой болно","localConversationPage.addWorktreeToSidebarError":"Төсөл нэмж чадсангүй","localConversationPage.commitAndCreatePrModal.errorTitle":"Коммит хийж, PR үүсгэх үйлдэл амжилтгүй","localConversationPage.commitAndCreatePrModal.successTitle":"Коммит хийж, PR үүсгэлээ","localConversationPage.commitAndPushModal.errorTitle":"Коммит хийх ба түлхэх үйлдэл амжилтгүй","localConversationPage.commitAndPushModal.successTitle":"Өөрчлөлтүүдийг коммит хийж, түлхэлт хийлээ","localConversationPage.commitCreatePr.open":"Пулл хүсэлт нээх","localConversationPage.commitCreatePr.successTitle":"Таны сүүлийн өөрчлөлтүүдээр PR үүсгэлээ","localConversationPage.createBranchButtonLabel":"Энд салбарлах","localConversationPage.createPrModal.baseBranch":"Суурь","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR үүсгэх","localConversationPage.createPrModal.createDescription":"Сүүлийн өөрчлөлтүүд дээрээ татах хүсэлт нээнэ үү.","localConversationPage.createPrModal.errorTitle":"Татах хүсэлт амжилтгүй","localConversationPage.createPrModal.headBranch":"Толгой","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR нээх","localConversationPage.createPrModal.successTitle":"Pull request үүслээ","localConversationPage.createPrModal.title":"Татах хүсэлт үүсгэх","localConversationPage.createPrModal.viewDescription":"Энэ салбарт аль хэдийн татах хүсэлт байна.","localConversationPage.createPrModal.viewTitle":"Татах хүсэлт бэлэн","localConversationPage.createPullRequestAuthGh":"GitHub CLI-г баталгаажуулах: `gh auth login` уншуулах","localConversationPage.createPullRequestBranchMissing":"Салбарын мэдээлэл байхгүй","localConversationPage.createPullRequestButtonLabel":"PR үүсгэх","localConversationPage.createPullRequestButtonLabel.loading":"PR үүсгэж байна…","localConversationPage.createPullRequestDefaultBranchMissing":"Өгөгдмөл салбарын мэдээлэл байхгүй","localConversationPage.createPullRequestError":"Pull request үүсгэж чадсангүй","localConversationPage.createPullRequestExistingPullRequest":"Энэ салбарт аль хэдийн татах хүсэлт байна","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI-ийн төлөвийг ачаалж байна…","localConversationPage.createPullRequestInstallGh":"PR үүсгэхийн тулд GitHub CLI (gh) суулгах","localConversationPage.createPullRequestNoRepo":"Git репозитор олдсонгүй","localConversationPage.createPullRequestPushStatusMissing":"Түлхэх төлөвийг ачаалж байна...","localConversationPage.createPullRequestSetUpstream":"PR үүсгэхээс өмнө энэ салбарыг push хийнэ үү","localConversationPage.createPullRequestSuccessToast":"Pull request үүслээ","localConversationPage.createPullRequestSwitchBranch":"PR үүсгэхээс өмнө feature салбарт шилжинэ үү","localConversationPage.error.render":"Локал харилцан яриаг дамжуулахад алдаа гарлаа","localConversationPage.error.toast":"Харилцан яриа олдсонгүй","localConversationPage.forcePushError":"Албадан түлхэлт хийж чадсангүй","localConversationPage.generatePullRequestMessageError":"Татах хүсэлтийн гарчиг ба их биеийг үүсгэж чадсангүй","localConversationPage.generatePullRequestMessageFailed":"Татах хүсэлтийн гарчиг ба их биеийг үүсгэж чадсангүй.","localConversationPage.gitActionResult.branch":"Салбар","localConversationPage.gitActionResult.cancel":"Цуцлах","localConversationPage.gitActionResult.close":"Хаах","localConversationPage.gitActionResult.tryAgain":"Дахин оролдох","localConversationPage.gitActions":"Git үйлдлүүд","localConversationPage.newChat":"Шинэ чат","localConversationPage.openInTarget":"Нээх","localConversationPage.openPrimaryTarget":"Нээх","localConversationPage.planItemsCompleted":"{completedItems} / {totalItems, plural, one {# даалгавар дууссан} other {# даалгавар дууссан}}","localConversationPage.pushAuthError":"Push амжилтгүй: баталгаажуулалт шаардлагатай","localConversationPage.pushBranchMissing":"Салбарын мэдээлэл байхгүй","localConversationPage.pushButtonLabel":"Идэвхжүүлэх","localConversationPage.pushButtonLabel.loading":"Түлхэж байна…","localConversationPage.pushError":"Өөрчлөлтүүдийг push хийж чадсангүй","localConversationPage.pushModal.branchLabel":"Салбар","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Цуцлах","localConversationPage.pushModal.confirm":"Идэвхжүүлэх","localConversationPage.pushModal.description":"Сүүлийн коммит хийсэн зүйлсээ алсын репозитор луу түлхэлт хийнэ үү.","localConversationPage.pushModal.errorTitle":"Түлхэлт амжилтгүй боллоо","localConversationPage.pushModal.forcePush":"Албадан түлхэлт","localConversationPage.pushModal.successTitle":"Түлхэлт дууслаа","localConversationPage.pushModal.title":"Өөрчлөлтүүд түлхэх","localConversationPage.pushModal.tryAgain":"Дахин оролдох","localConversationPage.pushNoUpstream":"Энэ салбарыг push хийхээс өмнө upstream тохируулна уу","localConversationPage.pushNoUpstreamError":"Push амжилтгүй: upstream тохируулаагүй","localConversationPage.pushNothingToPush":"Push хийх шинэ коммит байхгүй","localConversationPage.pushRemoteChangedError":"Түлхэлт амжилтгүй: алсын санд шинэ коммит хийх зүйлс байна","localConversationPage.pushRemoteRejectedError":"Push-ийг алсын сан татгалзлаа","localConversationPage.pushStatusMissing":"Түлхэх төлөвийг ачаалж байна...","localConversationPage.pushSuccessToast":"Түлхсэн өөрчлөлтүүд","localConversationPage.viewPullRequestButtonLabel":"PR үзэх","localConversationPage.viewPullRequestButtonLabel.loading":"Татах хүсэлтийг ачаалж байна…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# файл} other {# файлууд}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# жагсаалт} other {# жагсаалт}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# хайлт} other {# хайлтууд}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Судалж байна","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Судалсан","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} судалсан","localConversationTurnStory.showContent":"Контент харуулах","localConversationTurnStory.streamContent":"Контент дамжуулах","localConversationTurnStory.toggleReasoning":"Эргэцүүлэл харуулах","localTaskRow.archiveError":"Харилцан яриаг архивлаж чадсангүй","localTaskRow.resumeError":"Даалгаврыг үргэлжлүүлж чадсангүй","mermaidDiagram.ariaLabel":"Mermaid диаграмм","mermaidDiagram.copySource":"Mermaid хуулах","mermaidDiagram.originalCode":"Mermaid эх код","notifications.permissions.description":"Мэдэгдлийн зөвшөөрөл шаардлагатай үед сануулга харуулах","notifications.permissions.label":"Зөвшөөрлийн мэдэгдлийг идэвхжүүлэх","notifications.turnMode.always":"Үргэлж","notifications.turnMode.description":"Codex дууссаныг танд мэдэгдэх үед тохируулна","notifications.turnMode.label":"Дууссан тухай мэдэгдлийг асаах","notifications.turnMode.off":"Хэзээ ч үгүй","notifications.turnMode.unfocused":"Зөвхөн идэвхгүй үед","patchApprovalRequest.approve":"Зөвшөөрөх","patchApprovalRequest.menu.allowAlways":"Тиймээ, энэ холболтын хэсгийг дахин бүү асуу","patchApprovalRequest.menu.allowForSession":"Тиймээ, энэ холболтын хэсгийг дахин бүү асуу","patchApprovalRequest.menu.allowOnce":"Тийм","patchApprovalRequest.prompt":"Та эдгээр өөрчлөлтийг хиймээр байна уу?","patchApprovalRequest.reject":"Үгүй","patchApprovalRequest.waitingForApproval":"Файл засварлах зөвшөөрөл хүлээж байна","pendingRequest.approvalExec.collapse":"Хураах","pendingRequest.approvalExec.expand":"Өргөтгөх","pendingRequestStory.toastAnswer":"Хариулт: {answer}","pendingRequestStory.toastApprovalTitle":"Зөвшөөрөлтийн хариу","pendingRequestStory.toastFollowupPrompt":"Промпт: {prompt}","pendingRequestStory.toastFollowupTitle":"Нэмэлтүүд илгээсэн","pendingRequestStory.toastNoAnswers":"Хариулт байхгүй байна","pendingRequestStory.toastQuestion":"Асуулт: {question}","pendingRequestStory.toastUnknownDecision":"Тодорхойгүй","pendingRequestStory.toastUserInputTitle":"Илгээсэн хариултууд","quickAction.request.codeReview.branches.new":"{from} дээрх өөрчлөлтүүдийг {to}-тай харьцуулан хянана уу","quickAction.request.codeReview.uncommitted.new":"Миний коммит хийгээгүй өөрчлөлтүүдийг хянана уу","reasoningItem.thinking":"Бодож байна","reasoningItem.thought":"Бодсон","reasoningItem.thoughtWithElapsed":"{elapsed} турш бодсон","recentConversations.title":"Сүүлийн Харилцан Ярианууд","recentTasks.worktreeInitFailedTitle":"Worktree init амжилтгүй","recentTasks.worktreeSettingUpTitle":"Worktree үүсгэж байна","requestInputPanel.continue":"Үргэлжлүүлэх","requestInputPanel.dismiss":"Хаах","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Энд бичих","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Үгүй ээ, Codex-т юу хийхийг нь өөрөөр хэл","requestInputPanel.selectedBadge":"Сонгосон","requestInputPanel.skip":"Алгасах","requestInputPanel.submit":"Илгээх","review.commit.ariaLabel.includeUnstaged":"Unstaged өөрчлөлтүүд оруулах","review.commit.buttonLabel":"Коммит хийх","review.commit.disabled.committing":"Коммит хийж байна…","review.commit.disabled.loadingDiff":"Диффийг ачаалж байна…","review.commit.disabled.missingContext":"Коммит зурвас үүсгэхийн тулд контекст нэмнэ үү","review.commit.disabled.noChanges":"Коммит хийх өөрчлөлт алга","review.commit.disabled.noSelection":"Коммит хийх өөрчлөлт сонгох","review.commit.disabled.unavailable":"Одоогоор коммит хийх боломжгүй","review.commit.error":"Өөрчлөлтүүдийг коммит хийж чадсангүй","review.commit.form.changesToBeCommitted":"Өөрчлөлтүүд","review.commit.form.commitTo":"Салбар","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Үргэлжлүүлэх","review.commit.form.title":"Өөрчлөлтүүдээ коммит хийх","review.commit.generate.emptyResponse":"Коммит зурвас үүсгэж чадсангүй.","review.commit.generate.failed":"Коммит зурвас үүсгэж чадсангүй: {error}","review.commit.generate.missingPrompt":"Коммит зурвас үүсгэхийн тулд контекст нэмнэ үү.","review.commit.includeUnstaged":"Unstaged өөрчлөлтүүд оруулах","review.commit.loading.description":"Түр хүлээгээрэй, үүнд бага зэрэг хугацаа орно…","review.commit.loading.step.commit.done":"Өөрчлөлтүүдийг коммит хийлээ","review.commit.loading.step.commit.pending":"Өөрчлөлтийг коммит хийж байна","review.commit.loading.step.createPr.done":"Татах хүсэлт үүсгэлээ","review.commit.loading.step.createPr.pending":"Татах хүсэлт үүсгэж байна","review.commit.loading.step.push.done":"{branch} салбар луу түлхсэн","review.commit.loading.step.push.pending":"{branch}  салбар луу түлхэж байна","review.commit.loading.title.commit":"Өөрчлөлтийг коммит хийж байна","review.commit.loading.title.createPr":"PR үүсгэж байна","review.commit.loading.title.push":"Өөрчлөлтүүдийг түлхэж байна","review.commit.messageLabel":"Коммит зурвас","review.commit.messagePlaceholder":"Коммит зурвас автоматаар үүсгэх бол хоосон орхино уу","review.commit.nextSteps":"Дараагийн алхмууд","review.commit.nextSteps.commit":"Коммит хийх","review.commit.nextSteps.commitAndCreate":"Коммит хийж PR үүсгэх","review.commit.nextSteps.commitAndPush":"Коммит хийж түлхэх","review.commit.nextSteps.prRequiresGh":"GitHub CLI шаардана: {command}","review.commit.rows.changes":"Өөрчлөлтүүд","review.commit.rows.commitCount":"{count, plural, one {# коммит} other {# коммит}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# коммит} other {# коммит}} ба {stats}","review.commit.rows.fileCount":"{count, plural, one {# файл} other {# файлууд}}","review.commit.state.error.body":"Коммит хийх явцад алдаа гарлаа. Git статусаа шалгаад дахин оролдоно уу.","review.commit.state.error.title":"Коммит амжилтгүй","review.commit.state.success.title":"Өөрчлөлтүүдийг коммит хийлээ","review.commit.untracked.loadingStats":"Хянагдаагүй өөрчлөлтийн статистикийг ачаалж байна…","reviewFindingAttachments.count":"{count, plural, one {# олдсон зүйл} other {# олдсон зүйл}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Агентын зан төлөвийг тусгайлан тохируулахын тулд тохируулгаа засна уу","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.subtitle":"Эдгээр тохиргоо нь Codex ашиглах бүх газарт үйлчилнэ","settings.automations.banner.danger":"Автоматжуулалт нь таны өгөгдмөл sandbox тохиргоогоор ажилладаг бөгөөд одоогоор Бүрэн Эрхийн тохиргоонд байна. Бүрэн Эрх бүхий арын автоматжуулалт явуулах нь өндөр эрсдэлтэй. Учир нь Codex асуулгүйгээр файлууд өөрчлөх, команд уншуулах, сүлжээнд хандаж болзошгүй. Sandbox тохиргоог ажлын талбарын бичилт болгож шинэчлэх, мөн <rulesDocsLink>дүрмүүд</rulesDocsLink>-н тусламжтайгаар агентын бүрэн эрхээр уншуулж болох командуудыг тодорхойлно уу.","settings.automations.banner.defaultHowTo.default":"Автоматжуулалт нь таны өгөгдмөл sandbox тохиргоогоор ажилладаг. Хэрэв файлуудыг ажлын талбараас гадна өөрчлөх, сүлжээнд хандах, эсвэл таны компьютер дээрх аппуудтай ажиллахыг шаардаж байвал хэрэгслийн дуудлагууд амжилтгүй болно. <rulesDocsLink>Дүрмүүд</rulesDocsLink> ашиглан sandbox-оос гадна уншуулах командуудаар зөвшөөрөгдсөн жагсаалт хийж болно.","settings.automations.banner.defaultHowTo.readOnly":"Автоматжуулалт нь таны өгөгдмөл sandbox тохиргоогоор ажилладаг бөгөөд зөвхөн-унших горимд тохируулагдсан байна. Файл өөрчлөх, сүлжээнд хандах, таны компьютер дээрх аппуудтай ажиллахыг шаардаж байвал хэрэгслийн дуудлагууд амжилтгүй болно. Sandbox тохиргоог ажлын талбарын бичилт болгож шинэчлэхийг зөвлөж байна.","settings.automations.cancel":"Цуцлах","settings.automations.create":"Үүсгэх","settings.automations.cwdEmpty":"Боломжит төслийн хавтас алга","settings.automations.cwdLabel":"Төслүүд","settings.automations.cwdPlaceholder":"Хавтас сонгох","settings.automations.cwdSubtitle":"Хэрэв тодорхой салбар дээр автоматжуулалт явуулахыг хүсвэл промптдоо зааж өгнө үү.","settings.automations.delete":"Устгах","settings.automations.dialog.editTitle":"Автоматжуулалт засварлах","settings.automations.dialog.newTitle":"Шинэ автоматжуулалт","settings.automations.dialog.subtitle":"Тогтмол хийгддэг ажлуудыг арын горимд автоматжуулна уу. Codex нь олдворуудыг инбоксод нэмэх эсвэл тайлагнах зүйлгүй бол даалгаврыг автоматаар архивлана. <learnMoreLink>Нэмэлт мэдээлэл авах</learnMoreLink>","settings.automations.dialog.title":"Автоматжуулалт үүсгэх","settings.automations.executionCopy.git":"Автоматжуулалт нь зориулалтын ажлын моднууд дээр дэвсгэр хэсэгт ажиллана.","settings.automations.executionCopy.nonGit":"Хувилбарын хяналтгүй төслүүд дээрх автоматжуулалт нь төслийн лавлах дээр шууд ажиллана. Дэвсгэр хэсэгт ажлын мод дээр ажиллуулахын тулд Git ашиглахыг зөвлөж байна.","settings.automations.executionEnvironment.local":"Локал","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Ачаалж байна…","settings.automations.nameLabel":"Нэр","settings.automations.namePlaceholder":"Sentry асуудлууд шалгах","settings.automations.pause":"Түр зогсоох","settings.automations.promptLabel":"Промпт","settings.automations.promptPlaceholder":"$Sentry-с эвдрэл хайх","settings.automations.resume":"Үргэлжлүүлэх","settings.automations.rruleSummaryFallback":"Тусгай хуваарь","settings.automations.runNow":"Туршилт","settings.automations.save":"Хадгалах","settings.automations.scheduleBadge.dayCount":"{count}ө","settings.automations.scheduleBadge.interval":"{count}ц","settings.automations.scheduleBadge.weekdays":"Ажлын өдрүүд","settings.automations.scheduleBadge.weekends":"Амралтын өдрүүд","settings.automations.scheduleHeader":"Хуваарь","settings.automations.scheduleHours":"цаг","settings.automations.scheduleLabel":"Тутамд ажиллах","settings.automations.scheduleMode.daily":"Өдөр бүр","settings.automations.scheduleMode.interval":"Давтамж","settings.automations.scheduleModeLabel":"Хуваарийн төрөл","settings.automations.scheduleSummary.daily":"Өдөр бүрийн {time} цагт","settings.automations.scheduleSummary.interval":"{count}ц тутам","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# өдөр} other {# өдөр}}","settings.automations.scheduleSummary.intervalDays":"{days}-д {interval}","settings.automations.scheduleSummary.intervalHourly":"Цаг тутам","settings.automations.scheduleSummary.singleDay":"{day}-н {time} цагт","settings.automations.scheduleSummary.weekdays":"Ажлын өдрүүдэд {time} цагт","settings.automations.scheduleSummary.weekdaysLabel":"ажлын өдрүүдэд","settings.automations.scheduleSummary.weekends":"Амралтын өдрүүдэд {time} цагт","settings.automations.scheduleSummary.weekendsLabel":"амралтын өдрүүдэд","settings.automations.scheduleSummary.weekly":"{days}-н {time} цагт","settings.automations.scheduleWeekdays":"Асаалттай","settings.automations.weekdayState.excluded":"Ороогүй","settings.automations.weekdayState.included":"Орсон","settings.conversationDetail.steps":"Алхмууд","settings.conversationDetail.steps.description":"Гаралт болон командыг нуух","settings.conversationDetail.stepsWithCommands":"Кодон командуудыг нуух","settings.conversationDetail.stepsWithCommands.description":"Командуудыг харуулах, гаралтыг нугалах","settings.conversationDetail.stepsWithOutput":"Кодон гаралттай алхмууд","settings.conversationDetail.stepsWithOutput.description":"Командуудыг харуулах, гаралтыг өргөжүүлэх","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Архивласан чат алга.","settings.dataControls.archivedChats.error":"Архивласан чатуудыг ачаалж чадсангүй.","settings.dataControls.archivedChats.loading":"Архивласан чатуудыг ачаалж байна…","settings.dataControls.archivedChats.unarchive":"Архиваас гаргах","settings.dataControls.archivedChats.unarchiveError":"Чатын архивыг болиулж чадсангүй","settings.dataControls.archivedChats.unarchiveSuccess":"Архивлаагүй ярианы хэлхээ. <viewNowLink>Одоо харах</viewNowLink>","settings.dataControls.archivedChats.untitled":"Нэргүй чат","settings.editRow.headerPlaceholder":"Түлхүүр","settings.editRow.removeEntry":"Бичилт устгах","settings.editRow.valuePlaceholder":"Утга","settings.general.appearance":"Харагдах байдал","settings.general.appearance.codeFont":"Кодын фонт ","settings.general.appearance.codeFont.description":"Чат болон диффүүд дээрх кодын фонтыг тохируулах","settings.general.appearance.codeFontFamily":"Кодын фонтын бүл","settings.general.appearance.codeFontSize":"Кодын фонтын хэмжээ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Windows-д системийн тунгалаг байдлын оронд хатуу арын фон ашиглах","settings.general.appearance.opaqueWindows.label":"Бүдэг цонхны арын дэвсгэр ашиглах","settings.general.appearance.sansFontFamily":"Sans фонтын бүл","settings.general.appearance.sansFontFamily.description":"Codex UI-д ашиглах фонтыг тохируулах","settings.general.appearance.sansFontSize":"Sans фонтын хэмжээ","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.theme":"Загвар","settings.general.appearance.theme.dark":"Бараан","settings.general.appearance.theme.description":"Цайвар, бараан, эсвэл системийн өнгөтэй таарсан өнгө ашиглах","settings.general.appearance.theme.light":"Хөнгөн","settings.general.appearance.theme.system":"Систем","settings.general.appearance.usePointerCursors.description":"Интерактив элементүүд дээр хулганаа аваачихад курсорыг заагч болгон өөрчилнө үү","settings.general.appearance.usePointerCursors.label":"Заагч курсор ашиглах","settings.general.enterBehavior.description":"Боломжтой үед промптуудаас  {modifierSymbol} + асуу","settings.general.enterBehavior.label":"{modifierSymbol} + урт промптууд руу илгээ","settings.general.experimentalFeatures":"Туршилтын функцүүд (Бета)","settings.general.experimentalFeatures.empty":"Боломжтой бета туршилтын функц алга.","settings.general.experimentalFeatures.loading":"Туршилтын функцүүд ачаалж байна…","settings.general.experimentalFeatures.restartNote":"Туршилтын функцийн өөрчлөлтүүд оруулахын тулд Codex-ийг дахин эхлүүлнэ үү","settings.general.experimentalFeatures.toggle":"{featureName}-г сэлгэх","settings.general.followUpQueueMode.description":"Codex ажиллаж байх үед дагалдах ажлуудыг дараалалд оруулах эсвэл одоогийн ажлыг зогсоох","settings.general.followUpQueueMode.interrupt":"Чиглүүлэх","settings.general.followUpQueueMode.label":"Дагалдах ажлын үйлдэл","settings.general.followUpQueueMode.queue":"Дараалалд оруулах","settings.general.notifications":"Мэдэгдлүүд","settings.general.power.preventSleepWhileRunning.description":"Codex хэлхээ ажиллуулж байх явцад компьютероо асаалттай байлгана уу.","settings.general.power.preventSleepWhileRunning.label":"Ажиллаж байх үед унтрахаас сэргийлэх","settings.git.branchPrefix.ariaLabel":"Салбарын нэрийн угтвар","settings.git.branchPrefix.description":"Codex-д шинээр салбар үүсгэх үед нэрийн угтвар хэрэлэгддэг","settings.git.branchPrefix.label":"Салбарын нэрийн угтвар","settings.git.branchPrefix.placeholder":"Codex ","settings.git.branchPrefix.save.error":"Салбарын нэрийн угтварыг хадгалахад алдаа гарлаа","settings.git.branchPrefix.save.success":"Салбарын нэрийн угтвар хадгалагдлаа","settings.git.commitInstructions.ariaLabel":"Коммит хийх заавар","settings.git.commitInstructions.description":"Коммит зурвас үүсгэх промптууд руу нэмлээ","settings.git.commitInstructions.label":"Коммит хийх заавар","settings.git.commitInstructions.placeholder":"Коммит зурвасын заавар нэмэх…","settings.git.commitInstructions.save":"Хадгалах","settings.git.commitInstructions.save.error":"Коммит хийх зааврыг хадгалж чадсангүй","settings.git.commitInstructions.save.success":"Коммит хийх зааврыг хадгалсан","settings.git.forcePush.ariaLabel":"Үргэлж хүчээр түлхэх","settings.git.forcePush.description":"Codex-аас түлхэхдээ --force-with-lease ашиглана уу.","settings.git.forcePush.label":"Үргэлж хүчээр түлхэх","settings.git.forcePush.save.disabled":"Үргэлж хүчээр түлхэхийг идэвхгүй болгосон","settings.git.forcePush.save.enabled":"Үргэлж хүчээр түлхэхийг идэвхжүүлсэн","settings.git.forcePush.save.error":"Хүчээр түлхэх тохиргоог хадгалахад амжилтгүй боллоо.","settings.git.prInstructions.ariaLabel":"Татах хүсэлтийн заавар","settings.git.prInstructions.description":"Codex-оор үүсгэсэн татах хүсэлтийн их биед нэмсэн","settings.git.prInstructions.label":"Татах хүсэлтийн заавар","settings.git.prInstructions.placeholder":"Татах хүсэлтийн заавар нэмэх…","settings.git.prInstructions.save":"Хадгалах","settings.git.prInstructions.save.error":"Татах хүсэлтийн зааврыг хадгалж чадсангүй","settings.git.prInstructions.save.success":"Татах хүсэлтийн зааврыг хадгалсан","settings.ide.defaultOpenTarget.description":"Файл болон хавтас өгөгдмөлөөр нээгдэх газар","settings.ide.defaultOpenTarget.label":"Өгөгдмөл нээх байршил","settings.ide.defaultOpenTarget.placeholder":"Бай олдсонгүй","settings.ide.language.auto":"Автоматаар Илрүүлэх","settings.ide.language.autoOption":"Автоматаар Илрүүлэх","settings.ide.language.description":"Аппийн UI-ийн хэл","settings.ide.language.label":"Хэл","settings.ide.language.search":"Хэл хайх","settings.layout.actionButton":"Өргөтгөл дахин эхлүүлэх","settings.layout.actionTitle":"Үйлдэлтэй тохиргоо","settings.layout.fullWidthTitle":"Тохиргоо (Бүтэн Өргөн)","settings.layout.title":"Тохиргоо","settings.localEnvironments.actions.add":"Үйлдэл нэмэх","settings.localEnvironments.actions.add.description":"Шинээр команд үүсгээд түүлбараас шилж","settings.localEnvironments.actions.add.save":"Хадгалах","settings.localEnvironments.actions.empty":"Локал хэрэгслийн мөрөөс команд уншуулах үйлдэл нэмэх.","settings.localEnvironments.actions.icon.debug":"Дибаг хийх","settings.localEnvironments.actions.icon.run":"Уншуулах","settings.localEnvironments.actions.icon.test":"Туршилт","settings.localEnvironments.actions.icon.tool":"Хэрэгсэл","settings.localEnvironments.actions.item.button.delete":"Устгах","settings.localEnvironments.actions.item.command":"Үйлдлийн скрипт","settings.localEnvironments.actions.item.name":"Нэр","settings.localEnvironments.actions.item.platforms":"Платформууд","settings.localEnvironments.actions.item.platforms.help":"Зөвхөн тодорхой OS дээр уншуулах.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Платформ сонголт","settings.localEnvironments.actions.item.platforms.specific":"Тодорхой платформ","settings.localEnvironments.actions.item.platforms.windows":"Цонхнууд","settings.localEnvironments.actions.item.tooltip.delete":"Устгах","settings.localEnvironments.actions.title":"Үйлдлүүд","settings.localEnvironments.breadcrumb.back":"Буцах","settings.localEnvironments.breadcrumb.edit":"засах","settings.localEnvironments.breadcrumb.root":"Орчнууд","settings.localEnvironments.environment.actions.description":"Эдгээр үйлдлүүд нь ямар ч командыг уншуулах боломжтой бөгөөд толгой хэсэгт харагдана.","settings.localEnvironments.environment.actionsLabel":"Үйлдлүүд","settings.localEnvironments.environment.create":"Локал орчин үүсгэх","settings.localEnvironments.environment.defaultName":"локал","settings.localEnvironments.environment.edit":"Локал орчин засварлах","settings.localEnvironments.environment.empty":"Энэ төсөлд одоогоор локал орчин тохируулаагүй байна.","settings.localEnvironments.environment.name":"Нэр","settings.localEnvironments.environment.setup":"Скрипт тохиргоо","settings.localEnvironments.environment.setup.description":"Энэ скрипт нь worktree үүсэх үед ажиллана.","settings.localEnvironments.environment.setup.hint":"Төслийн үндсэнд ажилладаг.","settings.localEnvironments.environment.setup.platformOverrides":"Платформын дарж бичих тохиргоо","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} тохиргооны скрипт нэмэх","settings.localEnvironments.environment.setup.platformOverrides.description":"Тодорхой OS-үүдэд зориулж өгөгдмөл скриптийг дарж бичнэ.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Устгах","settings.localEnvironments.environment.setup.script":"Скрипт","settings.localEnvironments.environment.title":"Орчны дэлгэрэнгүй","settings.localEnvironments.file.missing":"Энэ файлыг анх удаа үүсгэхийн тулд хадгална уу.","settings.localEnvironments.file.parseError":"Одоогийн файлыг задлах боломжгүй. Хадгалбал үүнийг дарах болно. ({error})","settings.localEnvironments.file.path":"Файл: {path}","settings.localEnvironments.file.readError":"Локал орчны өгөгдлийг ачаалж чадсангүй. ({error})","settings.localEnvironments.file.title":"Локал орчны файл","settings.localEnvironments.loading.body":"Таны төслийн тохируулгыг дуудаж байна.","settings.localEnvironments.loading.title":"Локал орчнуудыг ачаалж байна","settings.localEnvironments.preview.devOnly":"(Зөвхөн ХӨГЖҮҮЛЭГЧ)","settings.localEnvironments.preview.save":"Хадгалах","settings.localEnvironments.preview.saveError":"Файлыг хадгалж чадсангүй. ({error})","settings.localEnvironments.preview.title":"Урьдчилан харах","settings.localEnvironments.save.disabled.name":"Хадгалахын тулд орчны нэр үүсгэнэ үү","settings.localEnvironments.save.disabled.noChanges":"Хадгалах өөрчлөлт алга байна","settings.localEnvironments.save.disabled.saving":"Хадгалж байна...","settings.localEnvironments.save.success":"Локал орчныг хадгалсан","settings.localEnvironments.unavailable.body":"Энэ төсөлд локал орчны тохиргоог ачаалж чадсангүй.","settings.localEnvironments.unavailable.title":"Локал орчнууд боломжгүй","settings.localEnvironments.workspace.add":"Төсөл нэмэх","settings.localEnvironments.workspace.title":"Төсөл","settings.localEnvironments.workspaceSelect.addLabel":"Орчин нэмэх","settings.localEnvironments.workspaceSelect.description":"Локал орчнууд нь хэрхэн төсөлд ажлын мод үүсгэхийг Codex-д заадаг. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Одоогоор төсөл алга. Локал орчин тохируулахын тулд шинээр нэмнэ үү.","settings.localEnvironments.workspaceSelect.errorLabel":"Орчинд анхаарах шаардлагатай","settings.localEnvironments.workspaceSelect.learnMore":"Нэмэлт мэдээлэл авах","settings.localEnvironments.workspaceSelect.listLabel":"Боломжит төслүүд","settings.localEnvironments.workspaceSelect.loading":"Төслүүдийг ачаалж байна.","settings.localEnvironments.workspaceSelect.loadingLabel":"Орчныг ачаалж байна","settings.localEnvironments.workspaceSelect.title":"Төсөл сонгох","settings.localEnvironments.workspaceSelect.viewAction":"Харах","settings.mcp.addServer":"Сервер нэмэх","settings.mcp.app.configure":"Тохируулах","settings.mcp.app.connect":"Холбох","settings.mcp.apps.refresh":"Сэргээх","settings.mcp.detail.addArgument":"Аргумент нэмэх","settings.mcp.detail.addEnvVar":"Орчны хувьсагч нэмэх","settings.mcp.detail.addEnvVarPassthrough":"Хувьсагч нэмэх","settings.mcp.detail.args":"Аргументууд","settings.mcp.detail.back":"Буцах","settings.mcp.detail.command":"Эхлүүлэх команд","settings.mcp.detail.cwd":"Ажлын лавлах","settings.mcp.detail.docs":"MCP бичиг баримтыг нээх","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"Орчны хувьсагч дамжуулалт","settings.mcp.detail.envVars":"Орчны хувьсагчууд","settings.mcp.detail.http.addEnvHeader":"Хувьсагч нэмэх","settings.mcp.detail.http.addHeader":"Толгой хэсэг нэмэх","settings.mcp.detail.http.bearerToken":"Bearer токен орчны хувьсагч","settings.mcp.detail.http.envHeaders":"Орчны хувьсагчуудаас ирсэн толгой хэсгүүд","settings.mcp.detail.http.headers":"Толгой хэсгүүд","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Нэр","settings.mcp.detail.save":"Хадгалах","settings.mcp.detail.switchTransportNotice":"Хэрэв та MCP серверийн төрлийг солихыг хүсвэл эхлээд устгана уу.","settings.mcp.detail.titleExisting":"{name} MCP шинэчлэх","settings.mcp.detail.titleNew":"Тусгай MCP-д холбох","settings.mcp.detail.transport.http":"Дамжуулах боломжтой HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Устгах","settings.mcp.empty":"Холбогдсон тусгай MCP серверүүд байхгүй","settings.mcp.myServers":"Тусгай серверүүд","settings.mcp.partnerServer.description.figma":"Бүтэн Figma контекстийг оруулж, илүү сайн код үүсгээрэй","settings.mcp.partnerServer.description.github":"Ажлын урсгал автоматжуулах болон өгөгдөл задлахын тулд GitHub API-уудтай нэгтгээрэй","settings.mcp.partnerServer.description.linear":"Linear-ийн асуудал мөшгөлт болон төслийн удирдлагатай нэгтгээрэй","settings.mcp.partnerServer.description.notion":"Бичиг баримт уншиж, хуудас шинэчилж, даалгавар удирдаарай","settings.mcp.partnerServer.description.playwright":"Дизайн гүйцэтгэх болон UI тестлэхийн тулд хөтчийн автоматжуулалтыг нэгтгээрэй","settings.mcp.partnerServer.install":"Суулгах","settings.mcp.partnerServer.installAndAuthenticate":"Суулгаад баталгаажуулах","settings.mcp.partnerServer.logoAlt":"{label} лого","settings.mcp.partnerServer.manage":"Удирдах","settings.mcp.partnerServer.vendor":"{vendor}-р","settings.mcp.recommendedServers":"Санал болгох серверүүд","settings.mcp.restartApp":"Дахин эхлүүлэх","settings.mcp.restartExtension":"Өргөтгөл дахин эхлүүлэх","settings.mcp.server.enable":"Идэвхжүүлэх","settings.mcp.server.login":"Баталгаажуулах","settings.mcp.server.settings":"Тохиргоо","settings.multiselect.createOption":'"{value}" үүсгэх',"settings.multiselect.removeOption":"Устгах","settings.nav.account":"Бүртгэл","settings.nav.agent":"Тохируулга","settings.nav.ariaLabel":"Тохиргоо","settings.nav.back":"Апп руу буцах","settings.nav.data-controls":"Архивласан ярианы хэлхээ","settings.nav.environments":"Cloud Орчнууд","settings.nav.externalTooltip":"[alpha] Хөтөч дотор нээгдэнэ","settings.nav.general-settings":"Ерөнхий","settings.nav.git-settings":"Git","settings.nav.local-environments":"Орчнууд","settings.nav.mcp-settings":"MCP серверүүд","settings.nav.notImplemented":"[alpha] Alpha-д боломжгүй","settings.nav.personalization":"Хувийн тохиргоо","settings.nav.skills-settings":"Чадварууд","settings.nav.usage-analytics":"Хэрэглээ ба Дүн шинжилгээ","settings.nav.worktrees":"Ажлын мод","settings.openSourceLicenses.back":"Буцах","settings.openSourceLicenses.loading":"Ачаалж байна…","settings.openSourceLicenses.missing":"Гуравдагч этгээдийг шинж тэмдэг байхгүй.","settings.openSourceLicenses.notSupported":"ЭНэ серверт ашиглах боломжгүй","settings.openSourceLicenses.rowDescription":"Багцлагдсан хамааралтай програмуудын гуравдагч талын мэдэгдлүүд","settings.openSourceLicenses.rowLabel":"Эх сурвалжийн лицензүүдыг нээх","settings.openSourceLicenses.subtitle":"Энэ апп-д орсон хамаарал бүхий гуравдагч талын мэдэгдлүүд","settings.openSourceLicenses.title":"Эх сурвалжийн лицензүүдыг нээх","settings.openSourceLicenses.view":"Харах","settings.personalization.agents.description":"Codex-ийг танд тохирсон байлгахаар зааврыг засварлана уу. {learnMore}","settings.personalization.agents.learnMore":"Нэмэлт мэдээлэл авах","settings.personalization.agents.loadError":"agents.md ачаалах боломжгүй.","settings.personalization.agents.loading":"agents.md ачаалж байна…","settings.personalization.agents.placeholder":"Тусгай заавраа нэмнэ үү…","settings.personalization.agents.retry":"Дахин оролдох","settings.personalization.agents.save":"Хадгалах","settings.personalization.agents.save.error":"agents.md-г хадгалах боломжгүй","settings.personalization.agents.save.success":"agents.md-г хадгалсан","settings.personalization.agents.title":"Тусгай заавар","settings.personalization.personality.description":"Codex-ийн хариултын үндсэн өнгө аясыг сонгоно уу","settings.personalization.personality.label":"Зан төлөв","settings.sample.contentBody":"Энэ бүтцийг ашиглан тохиргооны цонхоо нэгэн жигд зайтайгаар зохион байгуулна уу.","settings.sample.contentTitle":"Жишээ контентийн блок","settings.section.account":"Бүртгэл","settings.section.agent":"Тохируулга","settings.section.data-controls":"Архивласан ярианы хэлхээ","settings.section.environments":"Cloud Орчнууд","settings.section.external":"Alpha-гийн явцад таны хөтөч дотор нээгдэнэ","settings.section.general-settings":"Ерөнхий","settings.section.git-settings":"Git","settings.section.local-environments":"Орчнууд","settings.section.mcp-settings":"MCP серверүүд","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"Гадны хэрэгсэл болон өгөгдлийн эх сурвалжууд холбох.","settings.section.personalization":"Хувийн тохиргоо","settings.section.skills-settings":"Чадварууд","settings.section.unavailable":"Одоогоор Alpha-д ашиглах боломжгүй","settings.section.usage-analytics":"Хэрэглээ ба Дүн шинжилгээ","settings.section.worktrees":"Ажлын мод","settings.threadDetail.description":"Хэлхээ дээр командын гаралтыг хэр ихээр харуулахыг сонгоно уу.","settings.threadDetail.label":"Хэлхээний дэлгэрэнгүй","settings.worktrees.conversation.untitled":"Нэргүй харилцан яриа","settings.worktrees.delete.error":"Ажлын салангид хавтсыг устгаж чадсангүй","settings.worktrees.empty.body":"Codex-оор үүсгэсэн ажлын мод энд харагдана.","settings.worktrees.empty.title":"Харайхан ажлын мод байхгүй байна.","settings.worktrees.error.body":"Ажлын модыг ачаалж байх үед ямар нэгэн алдаа гарлаа.","settings.worktrees.error.retry":"Дахин оролдох","settings.worktrees.error.title":"Салбарууд ачаалах боломжгүй","settings.worktrees.loading.body":"Ажлын модны дэлгэрэнгүй мэдээллийг татаж байна.","settings.worktrees.loading.title":"Ажлын модыг ачаалж байна","settings.worktrees.repository.loading":"Repository-ийн мета мэдээллийг ачаалж байна…","settings.worktrees.repository.unknown":"Тодорхойгүй репозитор","settings.worktrees.row.conversations":"Харилцан ярианууд","settings.worktrees.row.conversations.empty":"Энэ ажлын модтой холбоотой ямар ч харилцан яриа алга.","settings.worktrees.row.conversations.loading":"Харилцан яриаг ачаалж байна…","settings.worktrees.row.delete":"Устгах","settings.worktrees.row.title":"Ажлын мод","sidebarElectron.addWorkspaceRoot":"Шинэ төсөл нэмэх","sidebarElectron.archiveThread":"Архивын хэлхээ","sidebarElectron.archiveThreadError":"Хэлхээг архивлаж чадсангүй","sidebarElectron.collapseFolder":"Хавтас хураах","sidebarElectron.createStableWorktree.dialog.cancel":"Цуцлах","sidebarElectron.createStableWorktree.dialog.create":"Үүсгэх","sidebarElectron.debugNavLink":"Дибаг хийх","sidebarElectron.editWorkspaceRootOptionName":"Нэр засах","sidebarElectron.expandFolder":"Хавтас өргөтгөх","sidebarElectron.groupByMenu.recency":"Цагийн дарааллын жагсаалт","sidebarElectron.groupByMenu.title":"Цэгцлэх","sidebarElectron.groupByMenu.workspace":"Төслөөр","sidebarElectron.inboxRouteNavLink":"Автоматжуулалт","sidebarElectron.missingWorkspaceRoot":"Энэ төслийн хавтас устсан эсвэл шилжсэн","sidebarElectron.newThread":"Шинэ хэлэлцүүлэг","sidebarElectron.newThreadInGroup":"{folder}-д шинэ хэлхээ эхлүүлэх","sidebarElectron.noRecentThreads":"Сүүлийн үеийн хэлхээ байхгүй","sidebarElectron.noTasks":"Хэлхээ алга","sidebarElectron.noTasks.start":"Шинэ төсөл нэмэх","sidebarElectron.noTasksWithFilter":"Шүүлтүүрт тохирох хэлхээ алга","sidebarElectron.pinnedThreads":"Дээр тогтоосон хэлхээнүүд","sidebarElectron.recentNavLink":"Хэлхээ","sidebarElectron.recentThreads":"Сүүлийн үеийн хэлхээ","sidebarElectron.removeWorkspaceRootOption":"Устгах","sidebarElectron.renameThread":"Хэлхээний нэрийг өөрчлөх","sidebarElectron.renameThreadDialogAriaLabel":"Хэлхээний гарчиг","sidebarElectron.renameThreadDialogCancel":"Цуцлах","sidebarElectron.renameThreadDialogPlaceholder":"Гарчиг нэмэх…","sidebarElectron.renameThreadDialogSave":"Хадгалах","sidebarElectron.renameThreadDialogSubtitle":"Богино бөгөөд танигдахуйц байлга.","sidebarElectron.renameThreadDialogTitle":"Хэлхээний нэрийг өөрчлөх","sidebarElectron.renameThreadError":"Хэлхээний нэрийг өөрчилж чадсангүй","sidebarElectron.renameWorkspaceRootOptionLabel":"Дэлгэцийн нэр","sidebarElectron.showLess":"Бага харуулах","sidebarElectron.showMenu.all":"Бүх хэлхээ","sidebarElectron.showMenu.relevant":"Холбогдолтой","sidebarElectron.showMenu.relevantHint":"Зөвхөн таны анхаарал хэрэгтэй одоогийн салбар, ажлын мод, бусад хэлхээ дээр саяхны хэлхээг харуул","sidebarElectron.showMenu.title":"Харуулах","sidebarElectron.showMenu.tooltip":"Хэлхээнүүд шүүх, ангилах, цэгцлэх","sidebarElectron.showMenu.trigger":"Хажуу мөрийн хэлхээнүүд шүүх","sidebarElectron.showMore":"Илүүг харуулах","sidebarElectron.skillsRouteNavLink":"Чадварууд","sidebarElectron.sortMenu.created":"Үүсгэсэн","sidebarElectron.sortMenu.title":"Ангилах","sidebarElectron.sortMenu.updated":"Шинэчлэгдсэн","sidebarElectron.taskNavigation":"Автоматжуулалтын хавтаснууд","sidebarElectron.tasksInFolder":"{folder} дэх автоматжуулалтууд","sidebarElectron.workspaceOptions":"{folder}-д хийх төслийн үйлдлүүд","sidebarElectron.worktreeGroupTooltip":"Энэ бол git worktree","skills.appsPage.createSkill":"Шинэ чадвар","skills.appsPage.empty.skills":"Чадвар олдсонгүй","skills.appsPage.search.skills":"Чадвар хайх","skills.appsPage.search.skills.label":"Чадвар хайх","skills.appsPage.section.installedApps":"Суулгасан","skills.appsPage.section.skills":"Чадварууд","skills.appsPage.subheading":"Codex-д супер хүч өгөөрэй. <link>Нэмэлт мэдээлэл авах</link>","skills.appsPage.tab.recommended":"Санал болгосон","skills.appsPage.tab.skills":"Чадварууд","skills.card.contentsError":"Чадварын агуулгыг ачаалах боломжгүй.","skills.card.disable":"Идэвхгүй болгох","skills.card.disableSuccess":"{skillName} чадварыг идэвхгүй болгосон","skills.card.disabledBadge":"Идэвхгүй","skills.card.enable":"Идэвхжүүлэх","skills.card.enableSuccess":"{skillName} чадварыг идэвхжүүлсэн","skills.card.loadingContents":"Чадварын агуулгыг ачаалж байна...","skills.card.more":"Нэмэлт үйлдлүүд","skills.card.open":"Нээх","skills.card.removeFailed":"Чадварыг устгаж чадсангүй","skills.card.removeSuccess":"{skillName} чадварыг устгасан","skills.card.toggleEnabledError":"Чадварыг шинэчилж чадсангүй","skills.card.try":"Турших","skills.card.trySkill":"Чадвар турших","skills.card.uninstall":"Устгах","skills.hero.dotLabel":"Слайд {index} руу очих","skills.hero.next":"Дараагийн онцлох чадвар","skills.hero.trySkill":"Чадвар турших","skills.page.createSkill":"Шинэ чадвар","skills.page.empty":"Чадвар олдсонгүй","skills.page.filteredEmpty":"Шүүлтүүрт тохирох чадвар алга","skills.page.filteredEmptyDescription":"Хайлт эсвэл хамрах хүрээний шүүлтүүрээ өөрчилж үзнэ үү","skills.page.heading":"Чадварууд","skills.page.loading":"Чадварууд ачаалж байна...","skills.page.refreshSkills":"Сэргээх","skills.page.refreshSkillsToUseNew":"Шинэ чадвар(ууд) ашиглахын тулд сэргээнэ үү","skills.page.search":"Чадвар хайх","skills.page.search.label":"Чадвар хайх","skills.page.subheading":"Codex-д супер хүч өгөөрэй. <link>Нэмэлт мэдээлэл авах</link>","skills.preview.copyPrompt":"Өгөгдөл хуулах","skills.preview.examplePrompt":"Жишээ асуулга","skills.recommended.error":"Санал болгосон чадваруудыг ачаалах боломжгүй","skills.recommended.install":"Суулгах","skills.recommended.installSkill":"Чадвар суулгах","skills.recommended.installSuccess":"{skillName} чадварыг суулгасан","skills.recommended.installed":"Суулгасан","skills.scope.admin":"Админ","skills.scope.adminInstalled":"Админы суулгасан","skills.scope.builtIn":"Систем","skills.scope.personal":"Хувийн","skills.scope.repo":"Репо","skills.scope.system":"Систем","skills.scope.team":"Баг","skills.scope.user":"Хэрэглэгч","skills.section.installed":"Суулгасан","skills.section.recommended":"Санал болгосон","story.slidingToggle.existing":"Одоо байгаа","story.slidingToggle.fromLocal":"Локалаас","story.slidingToggle.new":"Шинэ","story.slidingToggle.toLocal":"Локалд","terminal.close":"Терминал хаах","terminal.title":"Терминал","thinkingShimmer.default":"Бодож байна","threadEnvIcon.cloudTooltip":"Энэ харилцан яриа нь Codex Cloud-д явагдаж байна.","threadEnvIcon.localTooltip":"Энэ харилцан яриа локал орчинд явагдаж байна.","threadEnvIcon.worktreeTooltip":"Энэ харилцан яриа нь локал git worktree-д явагдаж байна.","threadHeader.archiveConfirmCancel":"Цуцлах","threadHeader.archiveConfirmConfirm":"Архивлах","threadHeader.copySessionId":"Холболтын хэсгийн id-г хуулах","threadHeader.copyWorkingDirectory":"Ажлын лавлахыг хуулах","threadHeader.moreActions":"Хэлхээний үйлдлүүд","threadPage.newThread":"Шинэ хэлхээ","threadPage.runAction.changeEnvironment":"Орчинг өөрчил","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} Үйлдлүүд","threadPage.runAction.environmentSelector.label":"Орчин сонгох","threadPage.runAction.label":"Уншуулах","threadPage.runAction.missing.label":"Ажиллуулах үйлдэл үүсгэх","threadPage.runAction.setup.commandLabel":"Уншуулах команд","threadPage.runAction.setup.description":"Codex-д хамаарлууд хэрхэн суулгах болон аппаа хэрхэн эхлүүлэхийг зааж өгөөрэй.","threadPage.runAction.setup.editMore":"Орчны тохиргоо","threadPage.runAction.setup.placeholder":"жнь: npm install npm run","threadPage.runAction.setup.submit":"Хадгалаад уншуулах","threadPage.runAction.setup.title":"Уншуулах","threadPage.runAction.tooltip.withEnvironment":"{environmentName} Үйлдлүүд","threadPage.toggleDiffPanel":"Дифф самбарыг сэлгэх","threadPage.toggleTerminal":"Терминал сэлгэх","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Хавтас нээх","toolSummaryForCmd.exploredFiles":"Файлуудыг <verb>жагсаасан</verb>","toolSummaryForCmd.exploredFilesInPath":"{path}-д файлуудыг <verb>жагсаасан</verb>","toolSummaryForCmd.exploringFiles":"Файлуудыг <verb>жагсааж байна</verb>","toolSummaryForCmd.exploringFilesInPath":"{path}-д файлуудыг <verb>жагсааж байна</verb>","toolSummaryForCmd.ranGenericCommand":"<status>Команд уншуулсан</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ажиллуулсан</status> {command}{timer}","toolSummaryForCmd.read":"{path}-г <verb>уншсан</verb>","toolSummaryForCmd.runningGenericCommand":"<status>Команд уншуулж байна</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}-д","toolSummaryForCmd.searchedFor":"{query}-г <verb>хайсан</verb>","toolSummaryForCmd.searchedForFiles":"Файлуудыг <verb>хайсан</verb>","toolSummaryForCmd.searchedForInPath":"{path}-с {query}-г <verb>хайсан</verb>","toolSummaryForCmd.searchingFor":"{query}-г <verb>хайж байна</verb>","toolSummaryForCmd.searchingForFiles":"Файлуудыг <verb>хайж байна</verb>","toolSummaryForCmd.searchingForInPath":"{path}-с {query}-г <verb>хайж байна</verb>","traceRecording.startDetails.cancel":"Цуцлах","wham.diff.addComment":"Сэтгэгдэл нэмэх","wham.diff.binaryFile":"Хоёртын файл харагдахгүй","wham.diff.noContent":"Контент байхгүй","wham.fileTag.deleted":"Устгасан","wham.fileTag.new":"Шинэ","wham.formattedRelativeDateTime.compactDaysAgo":"{value}ө","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ц","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}м","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}сар","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}д/х","wham.formattedRelativeDateTime.compactYearsAgo":"{value}ж","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Таны даалгавар дээр ажиллаж байна","wham.whamProposedTask.title":"Санал болгосон даалгавар","wham.whamProposedTask.useSuggestion":"Санал ашиглах","workspaceRootDialog.addError":"Төсөл нэмж чадсангүй","workspaceRootDialog.cancel":"Цуцлах","workspaceRootDialog.confirmAdd":"Төсөл нэмэх","workspaceRootDialog.confirmPick":"Төсөл ашиглах","workspaceRootDialog.description":"Төслөөр ашиглахын тулд {host} дээр зам оруулна уу.","workspaceRootDialog.pathLabel":"Төслийн зам","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Төслийн зам нэмэх","workspaceRootDialog.title.pick":"Төслийн зам сонгох","worktreeInitV2.cancel":"Цуцлах","worktreeInitV2.notification.failedTitle":"Worktree тохиргоо амжилтгүй","worktreeInitV2.output.empty":"Гаралт хүлээж байна…","worktreeInitV2.status.error":"Worktree тохиргоо амжилтгүй.","worktreeInitV2.status.running":"Worktree үүсгэж, суулгалтыг явуулж байна.","worktreeInitV2.status.success":"Worktree бэлэн боллоо.","worktreeInitV2.title":"Worktree үүсгэж байна","worktreeInitV2.workLocallyInstead":"Оронд нь локал орчинд ажиллах","worktreeRestoreBanner.body":"Дискний зай хэмнэхийн тулд энэ хэлхээний ажлын модыг устгасан","worktreeRestoreBanner.missing.body":"Энэ хэлхээний ажлын лавлах байхгүй болсон","worktreeRestoreBanner.missing.title":"Одоогийн ажлын лавлах дутуу байна","worktreeRestoreBanner.restore.error":"Ажлын модыг сэргээж чадсангүй: {message}","worktreeRestoreBanner.restore.success":"Ажлын модыг сэргээсэн","worktreeRestoreBanner.restoreCta":"Ажлын модыг сэргээх","worktreeRestoreBanner.title":"Ажлын модыг цэвэрлэсэн"};export{e as default};
+const e={"CopyButton.copyTooltip":"Хуулах","app.sidebar.hide":"Хажуу мөрийг нуух","app.sidebar.show":"Хажуу мөрийг харуулах","app.sidebar.tooltip":"Хажуугийн самбарыг сэлгэх","appHeader.installUpdate":"Шинэчлэх","appSunset.body":"Аппын энэ хувилбар нь цаашид ашиглагдах боломжгүй байна. <here>энд</here> дарж аппын дараагийн хувилбарыг татаж авна уу.","appSunset.title":"Шинэчлэл шаардлагатай","automation.updateDirective.create":"Үүсгэх","automation.updateDirective.open":"Нээх","automation.updateDirective.untitled":"Нэргүй автоматжуулалт","automation.updateDirective.update":"Шинэчлэх","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# оролдлого} other {# оролдлого}}","cloudTaskRow.archiveError":"Даалгаврыг архивлаж чадсангүй","code.diff.requestChange":"Өөрчлөх хүсэлт","code.diffComment.cancel":"Цуцлах","code.diffComment.comment":"Тайлбар","code.diffComment.delete":"Устгах","code.diffComment.save":"Хадгалах","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Ямар ч олдвор илрээгүй.","codex.alert.closeAriaLabel":"Хаах","codex.appUpsellBanner.cbpApi.message":"Codex аппаар илүү хурдан бүтээгээрэй. Одоо татаж авах эсвэл {learnMoreLink}.","codex.appUpsellBanner.download":"Татаж авах","codex.appUpsellBanner.freeGo.message":"Codex таны багцад 3-р сарын 2 хүртэл багтсан. Илүү хурдан бүтээхийн тулд Codex аппыг туршаарай.","codex.appUpsellBanner.later":"Дараа нь","codex.appUpsellBanner.learnMoreLowercase":"нэмэлт мэдээлэл авах","codex.appUpsellBanner.new":"Шинэ","codex.appUpsellBanner.proPlusBusiness.message":"2x зарцуулалтын хязгаар бүхий Codex аппыг 4-р сарын 2 хүртэл туршаарай. Одоо татаж авах эсвэл {learnMoreLink}.","codex.appUpsellBanner.title":"Codex апп","codex.applyDropdown.header.changes":"Өөрчлөлтүүд","codex.applyDropdown.header.fileCount":"{count, plural, one {# файл} other {# файлууд}}","codex.applyDropdown.header.rows":"мөрүүд","codex.applyDropdown.header.title":"Өөрчлөлтүүд оруулах","codex.applyDropdown.header.workspace":"Төсөл","codex.applyDropdown.results.conflicted":"{count, plural, one {Зөрчилтэй 1 файл:} other {Зөрчилтэй {count} файл:}}","codex.applyDropdown.results.empty":"Хуулсан файл байхгүй","codex.applyDropdown.results.skipped":"{count, plural, one {Алгассан 1 файл:} other {Алгассан {count} файл:}}","codex.applyOrRevertBanner.apply":"Хэрэгжүүлэх","codex.applyOrRevertBanner.applyMessage":"Өөрчлөлтийг оруулаад локал дээр үргэлжлүүлэх үү?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Энэ даалгавар {environment}-д хийгдсэн тул шууд хэрэгжихгүй байж болно.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Өөрчлөлтүүд {environment}-д хийгдсэн тул шууд хэрэгжихгүй байж болно.","codex.applyOrRevertBanner.reapply":"Дахин хэрэгжүүлэх","codex.applyOrRevertBanner.revert":"Буцаах","codex.applyOrRevertBanner.revertMessage":"Оруулсан өөрчлөлтүүдийг буцаах уу?","codex.applyResultsDialog.applied":"Шууд хэрэгжсэн ({count})","codex.applyResultsDialog.close":"Хаах","codex.applyResultsDialog.conflicted":"Зөрчилтэй ({count})","codex.applyResultsDialog.noDetails":"Файлын дэлгэрэнгүй мэдээлэл байхгүй.","codex.applyResultsDialog.skipped":"Алгассан ({count})","codex.applyResultsDialog.title":"Илэрцийг хэрэгжүүлэх","codex.archiveInfo":"{dataControlsLink} дахь архивласан чат үзэх","codex.archiveInfo.dataControlsLink":"Өгөгдлийн хяналт","codex.archiveInfo.electron":"{settingsLink}-д архивласан чатууд харах","codex.archiveInfo.extension":"codex хавтсанд дахь архивчлагдсан чатуудаа харах","codex.archiveInfo.settingsLink":"Тохиргоо","codex.banner.content.description":"Даалгавруудыг зэрэг явуулж, хаанаас ч явцыг хянаж, AI-аар PR-ууд хянаарай.","codex.banner.content.headline":"Codex бүгдийг хийнэ.","codex.cloudTaskRow.archiveTask":"Даалгаврыг архивлах","codex.cloudTaskRow.confirmArchiveTask":"Баталгаажуулах","codex.command.feedback":"Санал хүсэлт","codex.command.findInThread":"Олох","codex.command.forceReloadSkills":"Чадваруудыг хүчээр дахин ачаалах","codex.command.logOut":"Гарах","codex.command.manageTasks":"Даалгавруудыг удирдах","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Буцах","codex.command.navigateForward":"Цааш","codex.command.newThread":"Шинэ хэлэлцүүлэг","codex.command.nextThread":"Дараагийн жагсаалт","codex.command.openFolder":"Хавтас нээх","codex.command.openSkills":"Чадварууд руу очих","codex.command.openThreadOverlay":"Ярианы хэлхээг салгаж харах","codex.command.personalitySettings":"Зан төлөв","codex.command.previousThread":"Өмнөх жагсаалт","codex.command.settings":"Тохиргоо","codex.command.toggleDiffPanel":"Дифф самбарыг сэлгэх","codex.command.toggleSidebar":"Хажуугийн самбарыг сэлгэх","codex.command.toggleTerminal":"Терминал сэлгэх","codex.commandGroup.app":"Апп","codex.commandGroup.configure":"Тохируулах","codex.commandGroup.navigation":"Чиглүүлэг","codex.commandGroup.panels":"Самбарууд","codex.commandGroup.skills":"Чадварууд","codex.commandGroup.thread":"Уялдаа","codex.commandGroup.workspace":"Төсөл","codex.commandMenu.noResults":"Тохирох зүйл байхгүй","codex.commandMenu.searchPlaceholder":"Команд хайх","codex.commandMenu.suggestedGroup":"Санал болгосон","codex.commandMenu.switchWorkspace":"Төсөл солих","codex.commandMenu.title":"Командын цэс","codex.common.retry":"Дахин оролдох","codex.composer.searchBranches":"Салбаруудаас хайх","codex.dialog.basic.body":"Энэ бол Radix Харилцах Цонхыг тойруулан манай ороогчийг ашигласан энгийн модал харилцах цонх юм.","codex.dialog.basic.cancel":"Цуцлах","codex.dialog.basic.confirm":"Баталгаажуулах","codex.dialog.basic.open":"Харилцах Цонх Нээх","codex.dialog.basic.title":"Жишээ Харилцах Цонх","codex.dialog.long.close":"Хаах","codex.dialog.long.line":"Харилцах цонхон дахь урт агуулгыг илэрхийлэх гүйдэг мөр {index}.","codex.dialog.long.open":"Урт Харилцах Цонх Нээх","codex.dialog.long.title":"Урт Агуулгатай Харилцах Цонх","codex.dialog.unstyled.body":"Энэ өгүүллэг нь дуудлага хийж буй хүмүүс хэрхэн ярианы агуулгын хэв загварыг бүрэн удирдахыг харуулдаг.","codex.dialog.unstyled.open":"Нээлттэй загваргүй харилцан яриа","codex.dialog.unstyled.title":"Загваргүй агуулга","codex.diff.openInEditorPrompt.openButton":"Засварлагч дотор нээх","codex.diff.openInEditorPrompt.singleLine":"Энэ файлыг энд харуулахад хэтэрхий том байна.","codex.diffView.failedToDecodeBase64Diff":"Base64 диффийг тайлж уншиж чадсангүй","codex.diffView.filesChanged":"{fileCount, plural, one {# файл өөрчлөгдсөн} other {# файл өөрчлөгдсөн}}","codex.diffView.imagePreviewAlt":"Зураг урьдчилан харах","codex.diffView.imagePreviewEmpty":"Зураг байхгүй","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Дифф өгөгдөл алга","codex.diffView.pdfPreview.nextPage":"Дараагийн хуудас","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Өмнөх хуудас","codex.diffView.pdfPreviewEmpty":"PDF урьдчилсан харагдац байхгүй","codex.diffView.pdfPreviewError":"PDF урьдчилсан харагдцыг дамжуулах боломжгүй","codex.diffView.richPreviewDisable":"Дэлгэрэнгүй урьдчилсан харагдцыг идэвхгүй болгох","codex.diffView.richPreviewEnable":"Дэлгэрэнгүй урьдчилсан харагдцыг идэвхжүүлэх","codex.diffView.richPreviewLoading":"Урьдчилсан тоймыг ачаалж байна...","codex.diffView.richPreviewToggle":"Дэлгэрэнгүй урьдчилсан харагдцыг сэлгэх","codex.diffView.switchToUnified":"Нэгтгэсэн дифф рүү шилжих","codex.environmentSelector.noEnvironment":"Орчин байхгүй","codex.environments.environmentSettings":"Орчны тохиргоо","codex.environments.learnMore":"Нэмэлт мэдээлэл авах","codex.environments.listError":"Орчнуудыг ачаалж чадсангүй.","codex.environments.noEnvironmentsFound":"Орчин олдсонгүй","codex.environments.searchError":"Орчин хайж чадсангүй.","codex.errorBoundary.genericError":"Уучлаарай, алдаа гарлаа","codex.errorBoundary.goHome":"Дахин оролдох","codex.file.patch.missing":"Энэ файлд нөхөөс үүсгэх боломжгүй.","codex.gallery.automations.cwdLabel":"Төслүүд","codex.gallery.automations.nameLabel":"Нэр","codex.gallery.automations.namePlaceholder":"Даалгаврыг хураангуйлах","codex.gallery.automations.promptLabel":"Промпт","codex.gallery.automations.promptPlaceholder":"Codex-ын юу хийх ёстойг тодорхойл","codex.gallery.dialogs.automation.label":"Автомат харилцан яриа","codex.gallery.dialogs.basic.body":"Бонгино формуудад болон шууд хийгдэх баталгаажуулалтуудад энэ загварыг ашигла","codex.gallery.dialogs.basic.cancel":"Цуцлах","codex.gallery.dialogs.basic.confirm":"Баталгаажуулах","codex.gallery.dialogs.basic.label":"Энгийн харилцан яриа","codex.gallery.dialogs.basic.title":"Жишээ харилцан яриа","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Асуудлыг тодорхойл","codex.gallery.dialogs.feedbackSubmission.bad":"Муу илэрц","codex.gallery.dialogs.feedbackSubmission.bug":"Алдаа","codex.gallery.dialogs.feedbackSubmission.good":"Сайн илэрц","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Одоогийн Codex холболтын хэсгийн бүртгэлийг оруулах","codex.gallery.dialogs.feedbackSubmission.label":"Санал хүсэлтийн илгээлт","codex.gallery.dialogs.feedbackSubmission.other":"Бусад","codex.gallery.dialogs.feedbackSubmission.placeholder":"Энд асуудлыг тодорхойлно уу","codex.gallery.dialogs.feedbackSubmission.submit":"Илгээх","codex.gallery.dialogs.feedbackSubmission.title":"Санал хүсэлт","codex.gallery.dialogs.feedbackSuccess.body":"Санал хүсэлтийг амжилттай илгээлээ. Хэрэв асуудал үргэлжилбэл GitHub дээр issue нээгээрэй, эсвэл аль хэдийн нээлттэй issue-д энэ thread ID-г дурдана уу:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Хаах","codex.gallery.dialogs.feedbackSuccess.label":"Санал хүсэлтийн амжилт","codex.gallery.dialogs.feedbackSuccess.title":"Санал хүсэлт байршуулсан","codex.gallery.dialogs.gitApplyResults.applied":"Шууд хэрэгжсэн (2)","codex.gallery.dialogs.gitApplyResults.close":"Хаах","codex.gallery.dialogs.gitApplyResults.conflicted":"Зөрчилтэй: 1","codex.gallery.dialogs.gitApplyResults.label":"Илэрцийг хэрэгжүүлэх","codex.gallery.dialogs.gitApplyResults.title":"Илэрцийг хэрэгжүүлэх","codex.gallery.dialogs.gitPushError.body":"Сүүлийн өөрчлөлтүүдийг татаж аваарай, эсвэл алсын түүхийг дарж бичихэд аюулгүй гэдгийг мэдэж байвал хүчээр түлхээрэй.","codex.gallery.dialogs.gitPushError.cancel":"Цуцлах","codex.gallery.dialogs.gitPushError.force":"Албадан түлхэлт","codex.gallery.dialogs.gitPushError.label":"Түлхэх алдаа","codex.gallery.dialogs.gitPushError.subtitle":"Таны салбар үндсэн байрлалаас хойно байна.","codex.gallery.dialogs.gitPushError.title":"Өөрчлөлтүүдийг түлхэж чадсангүй","codex.gallery.dialogs.gitRevert.cancel":"Цуцлах","codex.gallery.dialogs.gitRevert.confirm":"Буцаах","codex.gallery.dialogs.gitRevert.label":"Өөрчлөлтүүд буцаах","codex.gallery.dialogs.gitRevert.skip":"Дахин битгий асуу","codex.gallery.dialogs.gitRevert.subtitle":"Энэ үйлдэл эдгээр өөрчлөлтүүдийг устгах болно.","codex.gallery.dialogs.gitRevert.title":"Өөрчлөлтүүд буцаах уу?","codex.gallery.dialogs.longForm.label":"Урт хэлбэрийн харилцан яриа","codex.gallery.dialogs.proseModal.body":"Энэ загвар нь урт хэмжээтэй зааварчилгаа болон танилцуулгын явц аль эсвэл агуулгатай өргөнтэй цонхнуудад зориулагдсан болно.","codex.gallery.dialogs.proseModal.close":"Хаах","codex.gallery.dialogs.proseModal.subtitle":"Урт хэмжээний формуудыг болон баримт бичгүүдийг энд хуваалцаарай.","codex.gallery.dialogs.proseModal.title":"Prose модал","codex.gallery.dialogs.submitBlocked.label":"Илгээлт хаагдсан байна","codex.gallery.dialogs.submitBlocked.message":"Төсөл боломжгүй байгаа тул таны зурвасыг илгээж чадсангүй.","codex.gallery.dialogs.submitBlocked.ok":"ОК","codex.gallery.dialogs.submitBlocked.title":"Зурвас илгээх боломжгүй","codex.gallery.dialogs.title":"Харилцан ярианууд","codex.gallery.dropdown.filterPlaceholder":"Зүйлсийг шүүх","codex.gallery.dropdowns.actionRow":"Үйлдлийн шугамууд","codex.gallery.dropdowns.actionRow.disabled":"Идэвхгүй болгосон үйлдэл","codex.gallery.dropdowns.actionRow.primary":"Үндсэн үйлдэл","codex.gallery.dropdowns.actionRow.secondary":"Хоёрдогч үйлдэл","codex.gallery.dropdowns.actionRow.trigger":"Үйлдлүүдийг харуул","codex.gallery.dropdowns.basic":"Энгийн уналтууд","codex.gallery.dropdowns.basic.newFile":"Шинэ файл","codex.gallery.dropdowns.basic.newFolder":"Шинэ хавтас","codex.gallery.dropdowns.basic.openSettings":"Тохиргоог нээх","codex.gallery.dropdowns.basic.title":"Түргэн үйлдлүүд","codex.gallery.dropdowns.basic.trigger":"Цэс нээх","codex.gallery.dropdowns.basic.upload":"Байршуулах","codex.gallery.dropdowns.panel":"Панелын гадаргуу","codex.gallery.dropdowns.panel.apply":"Хэрэгжүүлэх","codex.gallery.dropdowns.panel.body":"Диффүүдийг хянаж үзээд төсөлдөө хэрэгжүүлээрэй.","codex.gallery.dropdowns.panel.preview":"Урьдчилан харах","codex.gallery.dropdowns.panel.title":"Өөрчлөлтүүд оруулах","codex.gallery.dropdowns.panel.trigger":"Панелыг нээх","codex.gallery.dropdowns.search":"Хайлт хийх боломжтой уналтууд","codex.gallery.dropdowns.search.first":"Альфа сувгууд","codex.gallery.dropdowns.search.second":"Бета салбар","codex.gallery.dropdowns.search.third":"Туршилтын хувилбар","codex.gallery.dropdowns.search.trigger":"Зүйлсийг шүүх","codex.gallery.dropdowns.submenu":"Дэд цэстэй уналтууд","codex.gallery.dropdowns.submenu.optionA":"Альфа төсөл","codex.gallery.dropdowns.submenu.optionB":"Бета төсөл","codex.gallery.dropdowns.submenu.optionC":"Гамма төсөл","codex.gallery.dropdowns.submenu.primary":"Эзэмшигч оноох","codex.gallery.dropdowns.submenu.secondary":"Руу шилжүүлэх","codex.gallery.dropdowns.submenu.tertiary":"Архивлах","codex.gallery.dropdowns.submenu.trigger":"Үйлдэл сонгох","codex.gallery.dropdowns.title":"Уналтууд","codex.gallery.inbox.automations.close":"Хаах","codex.gallery.inbox.automations.popover.cardTitle":"Автоматжуулалт удирдах","codex.gallery.inbox.automations.popover.dialogTitle":"Автоматжуулалт удирдах","codex.header.settingsTooltip":"Тохиргоо","codex.hunk.patch.error":"Stage хийж чадсангүй","codex.hunk.patch.missing":"Энэ хэсэгт нөхөөс үүсгэх боломжгүй.","codex.hunk.patch.partialSuccess":"Хагас амжилттай","codex.hunk.patch.revertError":"Unstage хийж чадсангүй","codex.hunk.patch.revertSuccess":"Амжилттай unstage хийлээ","codex.hunk.patch.success":"Амжилттай stage хийлээ","codex.legal.autonomy.details":"Нэмэлт мэдээллийг {link}-с үзнэ үү","codex.legal.autonomy.details.link":"Codex бичиг баримт","codex.legal.autonomy.title":"Та ямар хэмжээний удирдах эрх олгохоо шийдээрэй","codex.legal.backButton":"Буцах","codex.legal.cloud.taskOne.meta":"openai/agi · 10-р сарын 12","codex.legal.cloud.taskOne.title":"Шинэ дизайнерт репозитор тайлбарлах","codex.legal.cloud.taskThree.meta":"openai/codex · 10-р сарын 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Харанхуй горимын загвар үүсгэх","codex.legal.cloud.taskTwo.meta":"openai/agi · 10-р сарын 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Танилцуулгын үеийн алдааг засах","codex.legal.continue.apikey":"Үргэлжлүүлэх","codex.legal.continueButton":"Дараах","codex.legal.copilot.details":"Бүх загварын дуудлага, төлбөр тооцоо, зарцуулалтын хязгаарт таны Copilot багцыг ашиглана. Codex өргөтгөлийн ашиглалт нь {oaiTos} ба {gitHubTos}-с хамааралтай.","codex.legal.copilot.gitHubTosLink":"GitHub Үйлчилгээний Нөхцөл","codex.legal.copilot.oaiTosLink":"OpenAI Codex үйлчилгээний нөхцөл","codex.legal.copilot.title":"GitHub Copilot-р ажилладаг","codex.legal.mistakes.review":"Бичсэн код болон хэрэгжүүлсэн командыг хянана уу","codex.legal.mistakes.title":"Codex алдаа гаргаж болно","codex.legal.powered.details":"Таны багцын зарцуулалтын хязгаар болон {link}-г ашигладаг","codex.legal.powered.details.link":"сургалтын өгөгдлийн сонголтууд","codex.legal.powered.title":"Таны ChatGPT бүртгэлээр ажилладаг","codex.legal.step.cloud.subtitle":"Codex руу даалгавар илгээж ар талд ажиллуулснаар төвлөрч, хурдан ажиллах боломжтой.","codex.legal.step.cloud.title":"Cloud дахь Codex руу шилжүүлэх","codex.legal.step.intro.subtitle":"Codex таны репод шууд удирдаж, засвар хийж, команд уншуулж, туршилт хийнэ. Таны ChatGPT бүртгэлээр ажилладаг.","codex.legal.step.intro.title":"Таны IDE дэх Codex","codex.legal.step.todo.subtitle":"TODO тайлбар бичээд, нэг даралтаар Codex даалгавар болгон хувиргаарай.","codex.legal.step.todo.title":"TODO-г Codex даалгавар болгох","codex.legal.todo.heading":"// TODO: схем хэрэгжүүлэх","codex.localConversation.closeImagePreview":"Зургийн урьдчилан харалыг зогсоо","codex.localConversation.userImageAttachment":"Хэрэглэгчийн хавсралт","codex.localTaskRow.archiveTask":"Архивын хэлхээ","codex.localTaskRow.awaitingApproval":"Зөвшөөрөл хүлээж байна","codex.localTaskRow.awaitingResponse":"Хариултууд хүлээгдэж байна.","codex.localTaskRow.confirmArchiveTask":"Баталгаажуулах","codex.loggedOut.apiKeyPrompt.cancel":"Цуцлах","codex.loggedOut.apiKeyPrompt.confirm":"ОК","codex.loggedOut.apiKeyPrompt.getKey":"API Түлхүүр авах","codex.loggedOut.apiKeyPrompt.inputLabel":"OpenAI API Түлхүүрээ оруулна уу","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloud даалгаврууд API түлхүүрээр идэвхгүй болсон","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloud даалгаврууд Copilot болон API түлхүүрээр идэвхгүй болсон","codex.loggedOut.signIn":"ChatGPT-ээр нэвтрэх","codex.loggedOut.signIn.cancel":"Нэвтрэлтийг цуцлах","codex.loggedOut.signInWithCopilot":"GitHub Copilot-р нэвтрэх","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API Түлхүүр ашиглах","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} хэрэгсэл","codex.mcpTool.collapsedLabel.verb.called":"Дуудсан","codex.mcpTool.collapsedLabel.verb.calling":"Дуудаж байна","codex.mcpTool.embeddedResource.contentLabel":"Контент","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME төрөл","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Хэрэгсэл ямар ч контент буцаасангүй","codex.mcpTool.rawPayloadHeading":"Анхдагч {server}.{tool} хэрэгслийн дуудлагын ачаалал","codex.menu.recent":"Сүүлийн","codex.menu.seeAllHistory":"Бүх түүх үзэх","codex.modelCapacityBanner.headline.noReset":"{modelName} дүүрсэн байна. Дараа дахин оролдох, эсвэл өөр загвараар шинэ харилцан яриа эхлүүлнэ үү.","codex.modelCapacityBanner.headline.withReset":"{modelName} дүүрсэн байна. {resetDate} дараа дахин оролдох, эсвэл өөр загвараар шинэ харилцан яриа эхлүүлнэ үү.","codex.modelCapacityBanner.title":"Сонгосон загвар дүүрсэн байна","codex.patch.change.contentsDeleted":"Контентуудыг устгасан","codex.patch.change.created":"Үүсгэсэн","codex.patch.change.created-file":"Файл үүслээ","codex.patch.change.creating":"Үүсгэж байна","codex.patch.change.deleted":"Устгасан","codex.patch.change.deleted-file":"Файл устлаа","codex.patch.change.deleting":"Устгаж байна","codex.patch.change.edited":"Засварласан","codex.patch.change.edited-file":"Файлыг засварласан","codex.patch.change.editing":"Засварлаж байна","codex.patch.change.noChanges":"Өөрчлөлтгүй","codex.patch.change.rejected-add":"Татгалзсан","codex.patch.change.rejected-delete":"Татгалзсан","codex.patch.change.rejected-edit":"Татгалзсан","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total}-с {completed} даалгавар дууссан","codex.plan.todoListCreated":"{total} даалгавруудаар хийх зүйлсийн жагсаалт үүсгэсэн","codex.profileDropdown.apiKeyAuth":"API түлхүүрээр нэвтэрсэн","codex.profileDropdown.codexSettings":"Codex тохиргоо","codex.profileDropdown.copilotAuth":"Copilot-р нэвтэрсэн","codex.profileDropdown.defaultAccountTitle":"Үндсэн бүртгэл","codex.profileDropdown.enterBehavior":"{modifierSymbol} + урт промптууд руу илгээ","codex.profileDropdown.enterBehaviorError":"Тохиргоог шинэчилж чадсангүй","codex.profileDropdown.getPlus":"Илүү өндөр хязгаар хүсвэл сайжруулаарай","codex.profileDropdown.keyboardShortcuts":"Гарын товчилборууд","codex.profileDropdown.language":"Хэл","codex.profileDropdown.languageDefault":"Автоматаар Илрүүлэх","codex.profileDropdown.languageSearchPlaceholder":"Хэл хайх","codex.profileDropdown.languageUpdateError":"Хэлийг шинэчилж чадсангүй","codex.profileDropdown.logOut":"Гарах","codex.profileDropdown.mcp":"MCP тохиргоо","codex.profileDropdown.openConfigToml":"config.toml нээх","codex.profileDropdown.openConfigToml.wsl":"WSL орчинд config.toml нээх","codex.profileDropdown.openExtensionSettings":"Тохиргоог нээх","codex.profileDropdown.openMcpSettings":"MCP тохиргоо нээх","codex.profileDropdown.openOnStartup":"Эхлэх үед нээх","codex.profileDropdown.openOnStartupError":"Тохиргоог шинэчилж чадсангүй","codex.profileDropdown.openSkillsSettings":"Чадваруудын тохиргоог нээх","codex.profileDropdown.personalAccountTitle":"Хувийн бүртгэл","codex.profileDropdown.queueFollowUps":"Дагалдах ажлуудыг дараалалд оруулах","codex.profileDropdown.queueFollowUpsError":"Тохиргоог шинэчилж чадсангүй","codex.profileDropdown.readDocs":"Бичиг баримт унших","codex.profileDropdown.readSkillsDocs":"Бичиг баримт унших","codex.profileDropdown.runInWsl":"WSL-д уншуулах","codex.profileDropdown.runInWslError":"Тохиргоог шинэчилж чадсангүй","codex.profileDropdown.runInWslTooltip":"Codex-ийг WSL дотор ажиллуулдаг. Сайжирсан sandbox хамгаалалт болон гүйцэтгэлийн өндөр чанарт санал болгодог.","codex.profileDropdown.settings":"IDE тохиргоо","codex.profileDropdown.settingsPage":"Тохиргоо","codex.profileDropdown.signInWithOpenAI":"ChatGPT-ээр нэвтрэх","codex.profileDropdown.skills":"Чадваруудын тохиргоо","codex.profileDropdown.switchToCopilotAccount":"Copilot бүртгэл ашиглах","codex.profileDropdown.switchToOpenAIAccount":"OpenAI бүртгэл ашиглах","codex.profileDropdown.todoCodelens":"TODO тайлбарууд засах","codex.profileDropdown.todoCodelensError":"Тохиргоог шинэчилж чадсангүй","codex.profileDropdown.windowsDocumentation":"Windows Бичиг баримт","codex.profileFooter.signedInFallback":"Тохиргоо","codex.profileFooter.upgrade":"Сайжруулах","codex.recentTasksMenu.clearSearch":"Хайлтыг арилгах","codex.recentTasksMenu.cloud":"Cloud даалгаврууд","codex.recentTasksMenu.count":"{count, plural, =0 {Гүйцэтгэж буй даалгавар байхгүй} one {# даалгаврыг гүйцэтгэж байна} other {# даалгавруудыг гүйцэтгэж байна}}","codex.recentTasksMenu.empty":"Одоогоор хэлхээ алга","codex.recentTasksMenu.errorCloud":"Даалгаврууд ачаалж чадсангүй.","codex.recentTasksMenu.errorCloud.inline":"Cloud даалгаврууд ачаалж чадсангүй.","codex.recentTasksMenu.filterAll":"Бүгд","codex.recentTasksMenu.filterCloudTasks":"Cloud даалгаврууд шүүх","codex.recentTasksMenu.filterTooltip":"Даалгавруудыг орчноор шүүх","codex.recentTasksMenu.local":"Локал даалгаврууд","codex.recentTasksMenu.recent":"Бүх даалгаврууд","codex.recentTasksMenu.search":"Сүүлийн даалгавруудаас хайх","codex.recentTasksMenu.searchEmpty":"Илэрц олдсонгүй","codex.recentTasksMenu.tooltip":"Даалгаврын түүх","codex.recentTasksMenu.trigger":"Сүүлийн даалгаврууд. {count, plural, one {# хийгдэж байна} other {# хийгдэж байна}}","codex.remoteConversation.applyDiff.applyCta":"Өөрчлөлтүүд оруулах","codex.remoteConversation.applyDiff.dropdownTitle":"Өөрчлөлтүүдийг локал салбарт оруулах","codex.remoteConversation.applyDiff.revertCta":"Өөрчлөлтүүд буцаах","codex.remoteConversation.closeImagePreview":"Зургийн урьдчилан харалыг зогсоо","codex.remoteConversation.codexCloudTask":"Та <u>Codex cloud</u> даалгаврыг харж байна","codex.remoteConversation.errorWithMessage":"Алдаа: {message}","codex.remoteConversation.loadingImage":"Зургийг ачаалж байна","codex.remoteConversation.openInWeb":"Веб дотор нээх","codex.remoteConversation.streaming":"Эхлүүлж байна","codex.remoteConversation.turnFailed":"Энэ даалгаврын явцад алдаа гарлаа","codex.remoteConversation.turnTab.loading":"Оролдлого {number}","codex.remoteConversation.turnTab.title":"Оролдлого {number}","codex.remoteConversation.userImageAttachment":"Хэрэглэгчийн хавсралт","codex.remoteConversation.viewPreviousTurns":"Веб дотор нээх","codex.remoteConversation.viewPreviousTurns.buttonText":"Нээх","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Веб дотор нээх","codex.review.copyGitApplyCommand":"Git идэвхжүүлэлтийг хуулах","codex.review.copyGitApplyCommand.toast":"Санах самбарт git идэвхжүүлэлтийг хуулсан","codex.review.diffTooLarge.description":"Урьдчилан харах самбарт дифф хэтэрхий том харагдаж байна.","codex.review.diffTooLarge.title":"Дифф нь харуулахад хэтэрхий том байна","codex.review.expandOrCollapseDiffButton.collapse":"Бүх диффийг хураах","codex.review.expandOrCollapseDiffButton.expand":"Бүх диффийг өргөтгөх","codex.review.expandOrCollapseDiffMenu.collapse":"Бүх диффийг хураах","codex.review.expandOrCollapseDiffMenu.expand":"Бүх диффийг өргөтгөх","codex.review.fileSearch.clear":"Файлын шүүлтүүр цэвэрлэх","codex.review.fileSearch.empty":"Одоогийн шүүлтүүрт тохирох файл олдсонгүй.","codex.review.fileSearch.label":"Файл шүүх","codex.review.fileSearch.placeholder":"Файл шүүх…","codex.review.filesChanged":"{num, plural, =0 {Өөрчлөгдсөн файл алга} one {# файл өөрчлөгдсөн} other {# файл өөрчлөгдсөн}}","codex.review.find.loadMore":"Нэмэлт нийцлийг ачаалах","codex.review.fullReview.hideFileTree":"Файлын модыг нуух","codex.review.fullReview.showFileTree":"Файлын модыг харуулах","codex.review.header.moreOptions":"Хянах сонголтууд","codex.review.largeDiff.banner":"Их хэмжээний дифф илэрлээ — файлыг нэг нэгээр харуулж байна.","codex.review.loadFullFiles.disable":"Дүүрэн хайлтаас бүү ажлуул","codex.review.loadFullFiles.enable":"Дүүрээн хайлтаан ажлуул","codex.review.noDiff":"Файлын өөрчлөлтүүд нь энд харагдана","codex.review.noDiff.gitInit.createRepository":"Git репозитор үүсгэх","codex.review.noDiff.gitInit.creating":"Үүсгэж байна…","codex.review.noDiff.gitInit.error":"Git эхлүүлэх үйлдэл амжилтгүй боллоо:  {message}","codex.review.noDiff.gitInit.success":"Git репозитор нь үүсгэгдсэн","codex.review.noDiff.gitRepoRequired.description":"Энэ төсөлд хийсэн өөрчлөлтүүдийг хянах болон буцаах","codex.review.noDiff.gitRepoRequired.title":"Git репозитор үүсгэх","codex.review.noDiff.orNoLongerAvailable":"эс бөгөөс сүүлийн зөрүүг харах боломжгүй","codex.review.noDiff.reverted":"Сүүлийн үйлдлийг буцаасан байна","codex.review.noDiff.revertedOrCommitted":"Сүүлийн үйлдлийг буцаасан эсвэл коммит хийсэн байна","codex.review.refreshGitQueries":"Сэргээх","codex.review.revert.file.error":"{path}-г буцааж чадсангүй","codex.review.revert.file.partialSuccess":"{path}-г хагас буцаасан","codex.review.revert.file.success":"{path}-г буцаасан","codex.review.revert.hunk.error":"{hunkNumber} хэсгийг {path}-д буцааж чадсангүй","codex.review.revert.hunk.partialSuccess":"{hunkNumber} хэсгийг {path}-д хагас буцаасан","codex.review.revert.hunk.success":"{hunkNumber} хэсгийг {path}-д буцаасан","codex.review.revert.section.error":"Хэсгийг буцааж чадсангүй","codex.review.revert.section.partialSuccess":"Хэсгийг хагас буцаасан","codex.review.revert.section.success":"Хэсгийг буцаасан","codex.review.revertDialog.cancel":"Цуцлах","codex.review.revertDialog.confirm":"Баталгаажуулах","codex.review.revertDialog.message":"Энэ үйлдэл эдгээр өөрчлөлтүүдийг устгах болно.","codex.review.revertDialog.skip":"Дахин битгий асуу","codex.review.revertDialog.title":"Өөрчлөлтүүд буцаах уу?","codex.review.richPreview.disable":"Дэлгэрэнгүй урьдчилсан харагдцыг идэвхгүй болгох","codex.review.richPreview.enable":"Дэлгэрэнгүй урьдчилсан харагдцыг идэвхжүүлэх","codex.review.source.cloud":"Cloud өөрчлөлтүүд","codex.review.source.local.all":"Бүх салбарын өөрчлөлтүүд","codex.review.source.local.lastTurn":"Сүүлийн ээлжийн өөрчлөлтүүд","codex.review.source.local.uncommitted":"Коммит хийгдээгүй өөрчлөлтүүд","codex.review.source.worktree":"Коммит хийгдээгүй ажлын модны өөрчлөлтүүд","codex.review.stageFilter.empty.staged.description":"Бэлтгэхийн тулд засваруудыг зөвшөөрөх","codex.review.stageFilter.empty.staged.title":"Бэлтгэсэн өөрчлөлт алга.","codex.review.stageFilter.empty.unstaged.description":"Кодны өөрчлөлтүүд энд харагдах болно","codex.review.stageFilter.empty.unstaged.title":"Бэлтгээгүй өөрчлөлт алга","codex.review.stageFilter.staged":"Stage хийгдсэн","codex.review.stageFilter.staged.count":"Stage хийгдсэн · {count}","codex.review.stageFilter.unstaged":"Unstage хийгдсэн","codex.review.stageFilter.unstaged.count":"Unstage хийгдсэн · {count}","codex.review.switchToSplit":"Хуваасан дифф рүү шилжих","codex.review.switchToUnified":"Нэгтгэсэн дифф рүү шилжих","codex.review.toggleDiffView":"Дифф харагдацыг сэлгэх","codex.review.wordDiffs.disable":"Үгийн диффийг идэвхгүй болгох","codex.review.wordDiffs.enable":"Үгийн дифф идэвхжүүлэх","codex.review.wrap.disable":"Бичвэр ороолтыг идэвхгүй болгох","codex.review.wrap.enable":"Бичвэр ороолтыг идэвхжүүлэх","codex.section.patch.missing":"Энэ хэсэгт нөхөөс үүсгэх боломжгүй.","codex.shell.collapse":"Shell хураах","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Shell контент хуулсан","codex.shell.copy.copyTooltip":"Shell контент хуулах","codex.shell.copyCommand":"Команд хуулах","codex.shell.copyOutput":"Гаралт хуулах","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Shell өргөтгөх","codex.shell.name":"Shell","codex.shell.noOutput":"Гаралт алга","codex.signInFailed.message":"Нэвтрэлт амжилтгүй: {rawMessage}","codex.stories.toast.show":"Toast харуулах","codex.stories.tooltip.basic":"Энэ бол хэрэгслийн зөвлөмж","codex.stories.tooltip.hoverMe":"Энд хулганаа авчир","codex.stories.tooltip.largerOffset":"Энэ хэрэгслийн зөвлөмж хол зайд байрласан","codex.stories.tooltip.offsetButton":"Хол зайд байрласан","codex.stories.tooltip.shortcutButton":"Товчилбортой","codex.stories.tooltip.withShortcut":"Терминал сэлгэх","codex.taskRow.title":"Шинэ хэлхээ","codex.taskRowLayout.confirm":"Баталгаажуулах","codex.threadFindBar.chatFilter":"Чат хайх","codex.threadFindBar.close":"Ололтыг хаах","codex.threadFindBar.diffFilter":"Диффийг хайх","codex.threadFindBar.label":"Хэлхээнээс хайх","codex.threadFindBar.nextResult":"Дараагийн илэрц","codex.threadFindBar.noResults":"0 илэрц","codex.threadFindBar.placeholder":"Жагсаалтыг хайх...","codex.threadFindBar.placeholder.extension":"Жагсаалтыг хайх...","codex.threadFindBar.placeholder.review":"Дифф хайх…","codex.threadFindBar.placeholder.review.extension":"Дифф хайх…","codex.threadFindBar.previousResult":"Өмнөх илэрц","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# файл өөрчлөгдсөн} other {# файл өөрчлөгдсөн}}","codex.unifiedDiff.inlineLargeFile":"Нэг шугамд харуулахад хэт том байна","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Буцаах","codex.unifiedDiff.revertPatchError":"Өөрчлөлтүүдийг буцааж чадсангүй","codex.unifiedDiff.revertPatchSuccess":"Буцаасан өөрчлөлтүүд","codex.unifiedDiff.reviewChangesSuffix":"өөрчлөлтүүд","codex.unifiedDiff.reviewShort":"Хянаж үзэх","codex.unifiedDiff.viewDiffTooltip":"Хянаж үзэх","codex.upsellBanner.business.headline":"Нэмэлт эрх авахын тулд админдаа хүсэлт илгээх, эсвэл {resetDate} хүртэл хүлээнэ үү.","codex.upsellBanner.cbp.headline":"Нэмэлт эрх авахын тулд админдаа хүсэлт илгээнэ үү.","codex.upsellBanner.cta.addCredits":"Кредит нэмэх","codex.upsellBanner.cta.upgradeAccount":"Сайжруулах","codex.upsellBanner.cta.viewUsage":"Хэрэглээ Харах","codex.upsellBanner.freeOrGo.headline":"Таны зарцуулалтын хязгаарыг {resetDate}-д дахин тохируулна. Codex-г үргэлжлүүлэн ашиглахын тулд өнөөдөр Plus болгож сайжруулаарай.","codex.upsellBanner.general.headline":"Таны зарцуулалтын хязгаарыг {resetDate}-д дахин тохируулна.","codex.upsellBanner.general.title":"Таны Codex зурвасын эрх дууссан байна","codex.upsellBanner.plus.headline":"Таны зарцуулалтын хязгаарыг {resetDate}-д дахин тохируулна. Codex-г үргэлжлүүлэн ашиглахын тулд кредит нэмэх, эсвэл өнөөдөр Plus болгож сайжруулаарай.","codex.upsellBanner.pro.headline":"Таны зарцуулалтын хязгаарыг {resetDate}-д дахин тохируулна. Codex-г үргэлжлүүлэн ашиглахын тулд одоо кредит нэмээрэй.","codex.userMessage.autoResolveSync":"Зөрчлийг автоматаар шийдэх","codex.userMessage.commentCount":"{count, plural, one {# сэтгэгдэл} other {# сэтгэгдэл}}","codex.userMessage.copiedAriaLabel":"Хуулсан","codex.userMessage.copiedTooltip":"Хуулсан","codex.userMessage.copyAriaLabel":"Зурвас хуулах","codex.userMessage.copyTooltip":"Хуулах","codex.userMessage.implementPlan":"Төлөвлөгөөг хэрэгжүүлэх","codex.userMessage.noContent":"(Контент байхгүй)","codex.userMessage.priorConversation":"Өмнөх харилцан ярианаас лавладаг","codex.userMessage.reviewMode":"Хянах горим","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}-д","codex.webSearch.summary.verb.completed":"Вебээс хайсан","codex.webSearch.summary.verb.inProgress":"Вебээс хайж байна","codex.windowsInstallWslBanner.dismiss":"Хаах","codex.windowsInstallWslBanner.installWslCta":"Sandbox идэвхжүүлэх","codex.windowsInstallWslBanner.learnMore":"Нэмэлт мэдээлэл авах","codex.windowsSandboxBanner.content":"Агентийн горим нь Windows дээр туршилтын sandbox ашиглан файлын систем болон сүлжээний хандалтыг хязгаарладаг. {sandboxLink}","codex.windowsSandboxBanner.title":"Агентийн горимд sandbox идэвхжүүлэх","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows Тохиргоо","codexUpgradeModal.body":"Codex одоо манай хамгийн сүүлийн үеийн агенттай кодын GPT-5.2-Codex загвараар ажиллаж байна. Код бичих тал дээр {link} бөгөөд GPT-5.2-оос цааш сайжруулж байна.","codexUpgradeModal.close":"Хаах","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"илүү ухаалаг ба хурдан","codexUpgradeModal.title":"Codex саяхан шинэчлэгдлээ","codexUpgradeModal.tryNewModel":"Одоо GPT-5.2-Codex туршаарай","codexUpgradeModal.useExistingModel":"Одоогийн загвараар үргэлжлүүлэх","commentAttachments.numComments":"{count, plural, one {# сэтгэгдэл} other {# сэтгэгдэл}}","commentAttachments.removeAriaLabel":"Сэтгэгдлийн хавсралтыг устгах","common.close":"Хаах","composer.addContext.openFilePickerError":"Файл сонгогчийг нээх боломжгүй","composer.addContextDropdown.ariaLabel":"Файл болон бусад зүйлс нэмэх","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Файл болон бусад зүйлс нэмэх","composer.addPhotosAndFiles":"Зураг ба файл нэмэх","composer.atMentionList.emptyQuery":"Файл хайхын тулд бичнэ үү","composer.atMentionList.loading":"Хайж байна...","composer.atMentionList.noResults":"Илэрц олдсонгүй","composer.attemptsSelector.option":"{count, plural, one {# хувилбар} other {# хувилбар}}","composer.attemptsSelector.tooltip":"Codex-ийн зэрэг хийж болох оролдлогын тоо","composer.attemptsSelector.trigger":"{count}x​","composer.backgroundTerminals.stop":"Зогсоох","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Локал","composer.cloudFollowUp.whereRun":"Дараагийн үйлдлийг хаана явуулах хэрэгтэй вэ?","composer.cloudTaskCreationError":"Cloud даалгавар үүсгэхэд алдаа гарлаа","composer.cloudTaskError":"Даалгавар үүсгэхэд алдаа гарлаа","composer.contextWindow.autoCompactionTooltipLine1":"Codex нь контекстийг автоматаар товчилдог","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Контекстийн цонх:","composer.contextWindowUsageStatusFull":"{usage}% дүүрсэн","composer.contextWindowUsageStatusLeft":"{usage}% ашигласан ({remaining}% үлдсэн)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k токен ашигласан","composer.customCliTooltip":"Тусгай CLI гүйцэтгэлийг ашиглаж байна","composer.dictation.aria":"Ярианаас бичвэр хийх","composer.dictation.cancel.aria":"Яриа бичвэрийг зогсоох","composer.dictation.cancel.tooltip":"Яриа бичвэрийг зогсоох","composer.dictation.startError":"Яриа бичвэр эхлүүлэх боломжгүй","composer.dictation.submit.aria":"Сийрүүлээд илгээх","composer.dictation.submit.tooltip":"Сийрүүлээд илгээх","composer.dictation.tooltip":"Ярианаас бичвэр хийхийн тулд барина уу","composer.dictation.transcribeError":"Аудиог сийрүүлэх боломжгүй","composer.dictation.unsupported":"Энэ төхөөрөмж дээр ярианаас бичвэр хийх боломжгүй","composer.dropOverlay.holdShift":"Оруулахын тулд {key} дарна уу","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Шинээр үүсгэх","composer.environmentSelector.error":"Орчнуудыг ачаалахад алдаа гарлаа","composer.environmentSelector.goBack":"Composer луу буцах","composer.environmentSelector.title":"Орчин сонгох","composer.environmentSelector.tooltip":"Cloud орчин сонгох","composer.feedbackSlashCommand.title":"Санал хүсэлт","composer.filePicker.selectFile":"Файл сонгох","composer.filePicker.selectFiles":"Файлууд сонгох","composer.followerTooltip":"Үргэлжлүүлэхийн тулд энэ харилцан яриа эхэлсэн цонх руу буцна уу.","composer.footer.branchSwitch.checkoutError":"Салбар сольж чадсангүй: {message}","composer.footer.branchSwitch.createAndCheckout":"Шинэ салбар үүсгэн шилжүүлэх…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Шинэ салбар үүсгэн шилжүүлэхийн тулд өөрчлөлтүүдийг коммит хийнэ үү","composer.footer.branchSwitch.createBranchError":"Салбар үүсгэж чадсангүй: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Салбарын нэр","composer.footer.branchSwitch.createDialog.branchExistsError":"Салбар аль хэдийн байна.","composer.footer.branchSwitch.createDialog.close":"Хаах","composer.footer.branchSwitch.createDialog.createAndCheckout":"Үүсгээд шалгах","composer.footer.branchSwitch.createDialog.placeholder":"шинэ-салбар","composer.footer.branchSwitch.createDialog.title":"Салбар үүсгээд шалгах","composer.footer.branchSwitch.createDialog.trailingSlashError":"Салбарын нэр “/” -р төгсөх боломжгүй.","composer.footer.branchSwitch.tooltip":"Салбар солих","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName}-г шалгахын тулд {fileCount, plural, one {# файл} other {# файлууд}} дэх өөрчлөлтүүдийг коммит хийнэ үү.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Коммит хийх","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName}-г шалгах {fileCount, plural, one {# файл} other {# файлууд}} дэх өөрчлөлтүүд.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Цуцлах","composer.footer.branchSwitch.uncommittedDialog.commit":"Коммит хийгээд салбар солих…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Таны дараах файлуудад хийсэн өөрчлөлтүүд шилжилтийн үед дарж бичигдэнэ:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Өөрчлөлтүүдээ коммит хийн үргэлжлүүлнэ үү","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"сонгосон салбар","composer.footer.branchSwitch.uncommittedDialog.title":"Салбар солихын тулд өөрчлөлтүүд коммит хийнэ үү","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Коммит хийгээгүй: {fileCount, plural, one {# файл} other {# файлууд}}","composer.imageInputsUnsupported":"Энэ загвар нь зураг оруулахыг дэмждэггүй. Өөр загвараар үзнэ үү.","composer.imageUploadFailed":"Зураг байршуулж чадсангүй","composer.includeIdeContextDropdown":"IDE агуулгыг багтаа","composer.includeIdeContextDropdown.ariaLabel":"IDE агуулгыг багтаа","composer.localCwdDropdown.addWorkspaceRoot":"Шинэ төсөл нэмэх","composer.localCwdDropdown.noActiveRoot":"Төслөө сонгох","composer.localCwdDropdown.noResults":"Хавтас олдсонгүй","composer.localCwdDropdown.title":"Төслөө сонгох","composer.localTaskError":"Харилцан яриаг эхлүүлэхэд алдаа гарлаа","composer.mcpSlashCommand.description":"MCP серверийн төлөвийг харуулах","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Баталгаажаагүй","composer.mcpStatus.authOauth":"Баталгаажсан (OAuth)","composer.mcpStatus.authToken":"Баталгаажсан (API түлхүүр)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Хаах","composer.mcpStatus.disabled":"Идэвхгүй","composer.mcpStatus.emptyLabel":"Серверүүд:","composer.mcpStatus.emptyValue":"Тохируулсан MCP сервер алга","composer.mcpStatus.enabled":"Идэвхэжсэн","composer.mcpStatus.errorLabel":"Төлөв:","composer.mcpStatus.errorValue":"MCP төлөвийг ачаалах боломжгүй","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Горим солих","composer.mode.agentMode.custom":"Тусгай","composer.mode.agentMode.custom.dropdownLabel":"Тусгай","composer.mode.agentMode.custom.option":"Тусгай (config.toml)","composer.mode.agentMode.custom.optionLabel":"Тусгай (config.toml)","composer.mode.agentMode.customInfo.cancel":"Цуцлах","composer.mode.agentMode.customInfo.cli":"Та эдгээр тохиргоог CLI-с эсвэл файлыг шууд засварлах замаар өөрчилж болно.","composer.mode.agentMode.customInfo.confirm":"Тусгай горим ашиглах","composer.mode.agentMode.customInfo.description":"Тусгай горим нь таны <link>config.toml</link> файлд тодорхойлсон зөвшөөрөл болон sandbox бодлогыг хэрэгжүүлдэг.","composer.mode.agentMode.customInfo.docs":"<link>Гүйцэтгэх орчны баримт бичиг</link> дэх зөвшөөрөл болон sandbox бодлогыг хэрхэн тохируулах талаар нэмэлт мэдээлэл аваарай.","composer.mode.agentMode.customInfo.refresh":"Агент дараагийн удаа ажиллах үед өөрчлөлтүүд хэрэгжинэ.","composer.mode.agentMode.customInfo.title":"Тусгай горим яаж ажилладаг","composer.mode.agentMode.fullAccess":"Агент (бүрэн эрх)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (бүрэн эрх)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (бүрэн эрх)","composer.mode.agentMode.fullAccessConfirm.caution":"Бүрэн хандалтын эрхийг идэвхжүүлэхдээ анхаарна уу. Энэ нь өгөгдөл устах, алдагдах эсвэл урьдчилан тооцоолоогүй үйлдэл гарах эрсдэлийг ихэсгэдэг.","composer.mode.agentMode.fullAccessConfirm.confirm":"Тийм, үргэлжлүүлнэ үү","composer.mode.agentMode.fullAccessConfirm.description":"Codex бүрэн хандалтын эрхтэй үед таны зөвшөөрөлгүйгээр компьютерт байгаа аливаа файлыг засварлаж, сүлжээгээр команд уншуулах боломжтой.","composer.mode.agentMode.fullAccessConfirm.goBack":"Цуцлах","composer.mode.agentMode.fullAccessConfirm.title":"Бүрэн хандалтын эрхийг идэвхжүүлэх үү?","composer.mode.agentMode.readOnly":"Чат","composer.mode.agentMode.readOnly.dropdownLabel":"Чат","composer.mode.agentMode.readOnly.optionLabel":"Чат","composer.mode.agentMode.tooltip":"Горим солих","composer.mode.agentMode.tooltip.auto":"Файл уншиж, засварлаж, мөн команд уншуулна.","composer.mode.agentMode.tooltip.custom":"config.toml дотор тодорхойлсон зөвшөөрөл болон sandbox бодлогын хамгийн сүүлийн хувилбарыг ашиглана.","composer.mode.agentMode.tooltip.fullAccess":"Codex төслөөс гаднах файлуудыг засварлах, сүлжээнд команд уншуулах боломжтой. Болгоомжтой ашиглана уу.","composer.mode.agentMode.tooltip.readOnly":"Файл засварлах болон команд уншуулахад зөвшөөрөл шаардлагатай.","composer.mode.cloud.tooltip":"Cloud орчинд ажиллах","composer.mode.contactAdmin":"Нэмэлт эрх авахын тулд админтайгаа холбогдоно уу","composer.mode.local":"Локал","composer.mode.local.learnMore":"Нэмэлт мэдээлэл авах","composer.mode.local.model.custom":"Тусгай","composer.mode.local.model.loadingModel":"Загварыг ачаалж байна","composer.mode.local.model.selecrReasoningEffort":"Эргэцүүлэл сонгох","composer.mode.local.model.selectModel":"Загвар сонгох","composer.mode.local.model.tooltip":"Загвар сонгох","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Их","composer.mode.local.reasoning.low.label":"Бага","composer.mode.local.reasoning.medium.label":"Дунд","composer.mode.local.reasoning.minimal.label":"Хамгийн бага","composer.mode.local.reasoning.none.label":"Байхгүй","composer.mode.local.reasoning.xhigh.label":"Маш Өндөр","composer.mode.localRemoteWhereRun":"Даалгавар явуулах орчинг сонгох","composer.mode.newTask.header":"Үргэлжлүүлэх","composer.mode.rateLimit.day":"{days}ө","composer.mode.rateLimit.heading":"Үлдсэн зарцуулалтын хязгаар","composer.mode.rateLimit.hour":"{hours}ц","composer.mode.rateLimit.minute":"{minutes}м","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {долоо хоног тутмын хязгаар} other {{weeks} долоо хоногийн хязгаар}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Долоо хоног бүр} other {{weeks} Долоо хоног}}","composer.mode.remote.connectToCloud":"Codex веб холбох","composer.mode.remote.connectToCloudDisabledTooltip":"Cloud руу даалгавар илгээхийн тулд Codex вебээр орчин үүсгэх","composer.mode.remote.selectEnvironment":"Орчин сонгох","composer.mode.remote.sendToCloud":"Cloud руу илгээх","composer.mode.remote.setupViaWeb":"Codex вебээр орчин үүсгэх","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Клоуд орчинд ажиллах","composer.mode.segmentedToggle.local.tooltip":"Локал төсөл дээрээ ажиллах","composer.mode.segmentedToggle.worktree.tooltip":"Зэрэгцээ ажлын мод дээр ажиллах","composer.mode.upgradeToPlus":"Plus болгож сайжруулах","composer.mode.upgradeToPro":"Pro болгож сайжруулах","composer.mode.workLocally":"Локал төсөл","composer.mode.workLocally.currentBranchFallback":"таны салбар","composer.mode.workLocally.tooltip":"{branchName} дээр ажиллах","composer.mode.worktree":"Шинэ ажлын мод","composer.mode.worktree.submoduleWarning":"Энэ репозиторт git дэд модулиуд байна. Ажлын модыг үүсгэхэд алдаа гарч болзошгүй","composer.mode.worktree.tooltip":"Зэрэг ажиллахын тулд өөрийн локал төслийн хуулбарыг үүсгэнэ үү","composer.mode.worktreeSegment":"Worktree","composer.newChat.heading.browser":"Дараа нь бид ямар код бичих вэ?","composer.permissionsDropdown.custom.label":"Тусгай (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Тусгай (config.toml)","composer.permissionsDropdown.default.label":"Өгөгдмөл зөвшөөрлүүд","composer.permissionsDropdown.default.optionLabel":"Өгөгдмөл зөвшөөрлүүд","composer.permissionsDropdown.fullAccess.disabled":"Бүрэн хандалтыг requirements.toml файлын шаардлагаар идэвхгүй болгосон байна.","composer.permissionsDropdown.trigger.tooltip":"Зөвшөөрөл өөрчлөх","composer.personalitySlashCommand.description.friendly":"Халуун дулаан, хамтралын, тус дэмтэй","composer.personalitySlashCommand.description.pragmatic":"Товч тодорхой, даалгаварт төвлөрсөн, шууд","composer.personalitySlashCommand.label.friendly":"Нөхөрсөг","composer.personalitySlashCommand.label.pragmatic":"Прагматик","composer.personalitySlashCommand.notApplicableSuffix":"(Одоогийн загварт хамаарахгүй)","composer.personalitySlashCommand.title":"Зан төлөв","composer.placeholder.cloudFollowUp.directFollowUp":"Энэ cloud даалгаварт зориулсан нэмэлтүүд","composer.placeholder.cloudFollowUp.local":"Энэ cloud даалгаврыг ашиглан шинэ локал даалгавар үүсгэх","composer.placeholder.cloudFollowUp.workingTree":"Өөрийн одоогийн кодыг агуулсан ба энэ даалгаврыг ашиглах шинэ cloud даалгавар үүсгэнэ үү","composer.placeholder.localFollowUp.cloud":"Шинэ cloud даалгавар дээрх нэмэлт","composer.placeholder.localFollowUp.locally":"Нэмэлт өөрчлөлтүүд асуух","composer.placeholder.newTask.cloud":"Cloud дээр Codex-оор хүссэнээ хийлгээрэй","composer.placeholder.newTask.doAnything":"Codex-оор хүссэнээ хийлгээрэй","composer.placeholder.newTask.locally":"Codexоос юу ч байсан асуугаарай файл нэмэхдээ @ тэмдгийг ашиглана команд ашиглахдаа / тэмдгийг ашиглана","composer.planModeDropdown":"Багцын горим","composer.planModeDropdown.ariaLabel":"Багцын горим","composer.planModeIndicator":"Багц","composer.planSlashCommand.disableDescription":"Багцын горим унтраах","composer.planSlashCommand.enableDescription":"Багцын горим асаах","composer.planSlashCommand.title":"Багцын горим","composer.priorContext.label":"Өмнөх контекст","composer.priorContext.removeAriaLabel":"Өмнөх контекстийг устгах","composer.queuedMessage.delete":"Дараалалд орсон зурвасыг устгах","composer.queuedMessage.edit":"Зурвас засах","composer.queuedMessage.more":"Дараалалд орсон зурвасын үйлдлүүд","composer.queuedMessage.sendNow":"Одоо илгээх","composer.queuedMessage.turnOff":"Дарааллыг унтраах","composer.reasoningEffort.local.reasoning.tooltip":"Эргэцүүллийн түвшин сонгох","composer.remote.branchStartingPoint":"Энэ даалгавар ямар салбараас эхлэх хэрэгтэй вэ?","composer.remote.branchesSectionHeading":"Салбарууд","composer.remote.currentEditsSuffix.followUp":"Энэ cloud даалгавартай холбогдох шинэ даалгавар үүсгэх.","composer.remote.currentEditsSuffix.useLocal":"локал кодын өөрчлөлтүүдтэй","composer.remote.directFollowUp":"Локал өөрчлөлтүүд ашиглахгүй","composer.remote.errorLoadingBranches":"Салбарыг ачаалахад алдаа гарлаа","composer.remote.fromBranch":"{branch}-с","composer.remote.fromCurrentBranch":"{branch}-с (одоогийн)","composer.remote.loadingMoreBranches":"Ачаалж байна…","composer.remote.localFileStateHeading":"Локал файлын төлөв","composer.remote.localWorkingTree":"Локал өөрчлөлтүүд ашиглах","composer.remote.startingPoint":"Энэ даалгавар ямар кодоос эхлэх хэрэгтэй вэ?","composer.reviewMode.branches.error":"Салбарууд ачаалах боломжгүй","composer.reviewMode.branches.retry":"Дахин оролдох","composer.reviewMode.gitRoot.error":"Git үндэс олдсонгүй","composer.reviewMode.option.baseBranch.simple":"Үндсэн салбартай харьцуулж хянах","composer.reviewMode.option.unstaged.simple":"Коммит хийгдээгүй өөрчлөлтүүдийг хянах","composer.reviewMode.quickReviewError":"Кодын хяналт эхлүүлж чадсангүй.","composer.reviewMode.title":"Кодын хяналт","composer.sandboxButton.unlock.disabled.tooltip":"Бүрэн хандалтыг requirements.toml файлын шаардлагаар идэвхгүй болгосон байна.","composer.sandboxButton.windowsSandboxDialog.content":"Codex нь Windows дээр туршилтын sandbox ашиглан файлын систем болон сүлжээний хандалтыг хязгаарладаг. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows sandbox идэвхжүүлэх үү?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Зөвхөн-унших горим ашиглах","composer.searchEnvironments":"Орчин хайх","composer.skillMentionList.app":"Апп","composer.skillMentionList.loading":"Чадварууд ачаалж байна...","composer.skillMentionList.noResults":"Чадвар олдсонгүй","composer.slashCommands.cloudEnvironment.title":"Cloud орчин","composer.slashCommands.dialogLabel":"Налуу зураастай командын цэс","composer.slashCommands.dialogTitle":"Налуу зураастай командууд","composer.slashCommands.disabledTooltip":"Налуу зураастай команд ашиглахын тулд шинэ харилцан яриа эхлүүлнэ үү","composer.slashCommands.inputPlaceholder":"Хайх","composer.slashCommands.noResults":"Команд байхгүй","composer.slashCommands.skillsGroup":"Чадварууд","composer.slashCommands.tooltip":"Налуу зураастай командууд харах","composer.status.close":"Хаах","composer.statusPlain.alertLabel":"Анхааруулга:","composer.statusPlain.alertValue":"{window}-д {remaining}% үлдсэн","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count}М","composer.statusPlain.contextValueMetadata":"({used} ашигласан / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% үлдсэн","composer.statusPlain.heading":"Төлөв","composer.statusPlain.rateLimitDays":"{count}ө хязгаар","composer.statusPlain.rateLimitFallbackLabel":"Зарцуулалтын хязгаар:","composer.statusPlain.rateLimitHours":"{count}ц хязгаар","composer.statusPlain.rateLimitLabelBase":"Зарцуулалтын хязгаар","composer.statusPlain.rateLimitMinutes":"{count}м хязгаар","composer.statusPlain.rateLimitPercent":"{remaining}% үлдсэн","composer.statusPlain.rateLimitReset":"{time}-д дахин шинэчлэгдэнэ","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"дахин тохируулах цаг тодорхойгүй","composer.statusPlain.rateLimitUnavailable":"Боломжгүй","composer.statusPlain.sessionCopiedAriaLabel":"Холболтын хэсгийн id хуулсан","composer.statusPlain.sessionCopiedTooltip":"ID хуулсан","composer.statusPlain.sessionCopyAriaLabel":"Холболтын хэсгийн id хуулах","composer.statusPlain.sessionCopyTooltip":"ID хуулах","composer.statusPlain.sessionLabel":"Холболтын хэсэг:","composer.statusSlashCommand.description":"Хэлхээний id, контекстийн хэрэглээ, зарцуулалтын хязгаарыг харуулах","composer.statusSlashCommand.title":"Төлөв","composer.submit.blockedDialogOk":"ОК","composer.submit.blockedDialogTitle":"Зурвас илгээх боломжгүй","composer.submit.emptyMessage":"Эхлэхийн тулд зурвас оруулна уу","composer.submit.imageInputsUnsupported":"Энэ зурвасыг илгээхийн тулд зургууд устгах эсвэл загвар солино уу.","composer.submit.loadingLocalConfig":"Ачаалж байна…","composer.submit.missingCloudConfig":"Та Cloud орчин сонгох ёстой","composer.submit.missingCloudTurn":"Энэ даалгаврын дараагийн үйлдэл боломжгүй","composer.submit.noWorkspace":"Codex ашиглахын тулд төсөл нэмнэ үү","composer.submit.waitForImageUploads":"Зургуудыг байршуулж байна…","composer.submitButtonTooltip.send":"Илгээх","composer.submitButtonTooltip.stop":"Зогсоох","composer.worktreeEnvironment.create":"Локал орчин үүсгэх","composer.worktreeEnvironment.default":"Өгөгдмөл орчин","composer.worktreeEnvironment.error":"Орчнуудыг ачаалахад алдаа гарлаа","composer.worktreeEnvironment.loading":"Орчнуудыг ачаалж байна…","composer.worktreeEnvironment.title":"Локал орчин","composer.worktreeEnvironment.tooltip":"Локал орчин сонгох","composer.worktreeSetupFailed":"Worktree тохиргоо амжилтгүй боллоо. Тохиргооны скриптийг шалгахын тулд .codex/environments үзнэ үү.","compoundButton.secondaryAction":"Хоёрдогч үйлдэл","copyButton.copied":"Хуулсан","copyButton.copiedAriaLabel":"Хуулсан","copyButton.copy":"Хуулах","copyButton.copyAriaLabel":"Хуулах","copyButton.copyCode":"Код хуулах","diff.actionButton.revertFile":"Файлыг буцаах","diff.actionButton.revertHunk":"Буцаах","diff.actionButton.revertSection":"Бүгдийг буцаах","diff.actionButton.revertSectionLabel":"Бүгдийг буцаах","diff.actionButton.stageFile":"Файлыг stage хийх","diff.actionButton.stageHunk":"Stage хийх","diff.actionButton.stageSection":"Бүгдийг stage хийх","diff.actionButton.stageSectionLabel":"Бүгдийг бэлтгэх","diff.actionButton.unstageFile":"Файлыг unstage хийх","diff.actionButton.unstageHunk":"Unstage хийх","diff.actionButton.unstageSection":"Бүгдийг unstage хийх","diff.actionButton.unstageSectionLabel":"Бүгдийг бэлтгэлээс буцаах","diff.fileHeader.toggle":"Файлын дифф сэлгэх","electron.onboarding.login.apikey.cancel":"Цуцлах","electron.onboarding.login.apikey.continue":"Үргэлжлүүлэх","electron.onboarding.login.apikey.label":"OpenAI API түлхүүр","electron.onboarding.login.apikey.open":"API түлхүүр оруулах","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Нэвтрэлтийг цуцлах","electron.onboarding.login.chatgpt.continue":"ChatGPT-ээр үргэлжлүүлэх","electron.onboarding.login.devbox":"Алсын SSH-д холбогдох","electron.onboarding.login.error":"Нэвтрэлт амжилтгүй: {rawMessage}","electron.onboarding.login.snake.start":"Snake тоглох","electron.onboarding.login.sshConfig.cancel":"Цуцлах","electron.onboarding.login.sshConfig.continue":"Үргэлжлүүлэх","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Хостын нэр","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Агентууд ашиглан бүтээх хамгийн сайн арга","electron.onboarding.login.title":"Codex-д тавтай морил","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Үргэлжлүүлэх","electron.onboarding.welcome.doubleLimits.description":"Codex аппын нээлттэй холбоотойгоор та 4-р сарын 2 хүртэл 2× зарцуулалтын хязгаар эдэлж байна.","electron.onboarding.welcome.freego.description":"Codex 3-р сарын 2 хүртэл таны багцад үнэгүй багтсан – хамтдаа бүтээж эхэлье.","electron.onboarding.welcome.new.title.anon":"Тавтай морил!","electron.onboarding.workspace.continue":"Үргэлжлүүлэх","electron.onboarding.workspace.empty":"Үргэлжлүүлэхийн тулд төсөл нэмнэ үү.","electron.onboarding.workspace.listLabel":"Боломжит төслүүд","electron.onboarding.workspace.loading":"Төслүүдийг ачаалж байна…","electron.onboarding.workspace.openFolder":"Төсөл нэмэх","electron.onboarding.workspace.selectAll":"Бүгдийг сонгох","electron.onboarding.workspace.skip":"Алгасах","electron.onboarding.workspace.skip.error":"Шинэ төсөл үүсгэх боломжгүй: {message}","electron.onboarding.workspace.skip.error.unknown":"Тодорхойгүй алдаа","electron.onboarding.workspace.skipping":"Шинэ төсөл үүсгэж байна…","electron.onboarding.workspace.subtitle":"Codex сонгосон хавтаснуудад файл засварлаж, команд уншуулах боломжтой болно.","electron.onboarding.workspace.title":"Төсөл сонгох","errorPage.list.checkSettings":"IDE тохиргоогоо шинэчилж үзнэ үү","errorPage.list.configToml":"config.toml дотор буруу тохиргоо байгаа эсэхийг шалгана уу","errorPage.list.downloadExtension":"Өргөтгөлийн өөр нэг хувилбарыг татаж үзнэ үү","errorPage.list.runInWsl":"Нийцлийн асуудал гарвал өөрийн тохиргооноос WSL-д уншуулах үйлдлийг идэвхгүй болгосон эсэхийг шалгана уу","execApprovalRequest.menu.runAlways":"Тиймээ, энэ холболтын хэсгийг дахин бүү асуу","execApprovalRequest.menu.runAlwaysWithAmendment":"Тийм. Мөн {command}-р эхэлсэн командуудад дахин бүү асуу","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Тийм. Мөн -р эхэлсэн командуудад дахин бүү асуу","execApprovalRequest.menu.runOnce":"Тийм","execApprovalRequest.prompt":"Энэ командыг ажиллуулах уу?","execApprovalRequest.reject":"Үгүй","execFooter.exitCode":"{code} кодоос гарах","execFooter.exitCode.unknown":"тодорхойгүй","execFooter.success":"Амжилттай","feedback.dialog.category.badResult":"Муу илэрц","feedback.dialog.category.bug":"Алдаа","feedback.dialog.category.goodResult":"Сайн илэрц","feedback.dialog.category.other":"Бусад","feedback.dialog.descriptionPlaceholder":"Энд асуудлыг тодорхойлно уу","feedback.dialog.dismiss":"Хаах","feedback.dialog.includeLogsLabel":"Одоогийн Codex холболтын хэсгийн бүртгэлийг оруулах","feedback.dialog.submit":"Илгээх","feedback.dialog.submitError":"Таны сэтгэгдлийг илгээж чадсангүй. Түр хүлээгээд дахин оролдоно уу.","feedback.dialog.title":"Санал хүсэлт","feedback.dialog.uploadedMessage.existingIssue":"одоо байгаа нээлттэй асуудал","feedback.dialog.uploadedMessage.openIssue":"GitHub асуудал нээх","feedback.dialog.uploadedMessage.withThread":"Санал хүсэлт байршуулсан. Хэрэв асуудал хэвээр байвал, {openIssueLink} эсвэл {existingIssueLink} дээр тухайн хэлхээний id-г дурдана уу:","feedback.dialog.uploadedTitle":"Санал хүсэлт байршуулсан","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} устгах","header.back":"Буцах","header.recentChats":"Даалгаврууд","header.recentTasks.seeAll":"Бүгдийг харах ({total})","home.header.getPlus":"Plus багц авах","home.hero.letsBuild":"Бүтээцгээе","homePage.mainContent":"Үндсэн контент","imageAttachment.defaultName":"зураг","imageAttachment.preview.close":"Зургийн урьдчилан харалыг зогсоо","imageAttachment.removeAriaLabel":"{filename} устгах","implementPlanRequest.option.implement":"Тиймээ, энэ төлөвлөгөөг хэрэгжүүл","implementPlanRequest.prompt":"Энэ төлөвлөгөөг хэрэгжүүлэх үү?","inbox.archived.deleteError":"Архивласан ажиллагааг устгаж чадсангүй","inbox.archived.deleteRun":"Архивласан ажиллагааг устгах","inbox.archived.deleteSuccess":"Архивласан ярианы хэлхээг устгалаа. <settingsLink>Архивласан ярианы хэлхээ</settingsLink> дээрээс үзнэ үү.","inbox.archived.inlineLabel.auto":"Энэ ярианы хэлхээ автоматаар архивлагдлаа. <learnMoreLink>Нэмэлт мэдээлэл авах</learnMoreLink>","inbox.archived.inlineLabel.manual":"Энэ ярианы хэлхээ архивлагдсан байна.","inbox.archived.noMessageFound":"Зурвас олдсонгүй","inbox.automations.createError":"Автоматжуулалт үүсгэж чадсангүй","inbox.automations.deleteConfirm.cancel":"Цуцлах","inbox.automations.deleteConfirm.confirm":"Автоматжуулалт устгах","inbox.automations.deleteConfirm.description":"Энэ нь автоматжуулалтыг бүрмөсөн устгаж, цаашдын бүх ажиллагааг зогсооно.","inbox.automations.deleteConfirm.title":"{name}-г устгах уу?","inbox.automations.deleteError":"Автоматжуулалт устгаж чадсангүй","inbox.automations.editTooltip":"Автоматжуулалт засварлах","inbox.automations.inProgress":"Хийгдэж байна","inbox.automations.new":"Шинэ","inbox.automations.newToolbar":"Шинэ автоматжуулалт","inbox.automations.pauseTooltip":"Автоматжуулалтыг түр зогсоох","inbox.automations.resumeTooltip":"Автоматжуулалтыг үргэлжлүүлэх","inbox.automations.startingNow":"Одоо эхэлж байна","inbox.automations.startsIn":"Багц {startTime}-д эхэлнэ.","inbox.automations.status.active":"Идэвхтэй","inbox.automations.status.paused":"Түр зогсоосон","inbox.automations.status.runs":"{count} ажиллагаа","inbox.automations.status.started":"{date} эхэлсэн","inbox.automations.updateError":"Автоматжуулалт шинэчилж чадсангүй","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Бүгд","inbox.filter.ariaLabel":"Инбокс зүйлсийг шүүх","inbox.filter.unread":"Уншаагүй","inbox.list.archived":"Архивласан","inbox.list.inProgress":"Хийгдэж байна","inbox.list.recent":"Дууссан","inbox.list.upNext":"Төлөвлөсөн","inbox.mode.automations":"Автоматжуулалт","inbox.mode.automations.beta":"Бета","inbox.noDescription":"Тайлбар оруулаагүй байна","inbox.openThread":"Хэлхээ нээх","inbox.rightPanel.emptySubtitle":"Товлосон даалгаврууд үүсгэх замаар ажлыг автоматжуулах","inbox.rightPanel.emptySubtitle.learnMore":"Товлосон  хэлхээг тохируулах замаар ажлыг автоматжуулах. <link>Нэмэлт мэдээлэл авах</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# идэвхтэй автоматжуулалт} other {# идэвхтэй автоматжуулалт}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Уншаагүй автоматжуулалт алга","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# уншаагүй автоматжуулалт} other {# уншаагүй автоматжуулалт}}","inbox.rightPanel.emptyTitle":"Сонгосон зүйл алга","inbox.rightPanel.noThread":"Энэ зүйлд хэлхээ байхгүй","inbox.rightPanel.quickStart.header":"Загвараар эхлэх","inbox.untitled":"Гарчиггүй инбоксын зүйл","loadingPage.documentationLink":"бичиг баримт","loadingPage.errorDescription":"Codex дараах алдааны улмаас зогслоо:","loadingPage.errorDescription.documentation":"Codex өргөтгөл дахин эхлүүлэхийн тулд дахин ачаалах товчийг дарах, эсвэл манай {documentationLink}-с нэмэлт тусламж авна уу.","loadingPage.errorSignal":"Туршиж үзэх зүйлс:","loadingPage.errorTitle":"Алдаа гарлаа","loadingPage.openConfigToml":"Config.toml нээх","loadingPage.reload":"Дахин ачаалах","localConversation.contextCompacted":"Контекстийг автоматаар товчилсон","localConversation.contextCompacting":"Контекстийг автоматаар товчилж байна","localConversation.merge.autoResolve.failed":"Автомат шийдэл амжилтгүй боллоо: {error}","localConversation.merge.autoResolve.sent":"Автомат шийдлийн хүсэлтийг илгээсэн","localConversation.merge.autoResolveMerge.missingConversation":"Идэвхтэй харилцан яриагүйгээр автомат шийдэл нь боломжгүй юм.","localConversation.merge.autoResolveMerge.request":"Нэгтгэх зөрчилдөөнүүдийг автоматаар шийдвэрлэх","localConversation.moveThread.createBranch.label":"Салбар үүсгэх","localConversation.moveToLocal.disabled.loading":"Ачаалж байна…","localConversation.moveToLocal.modal.continue":"Үргэлжлүүлэх","localConversation.moveToLocal.modal.destinationLabel":"Руу шилжүүлэх","localConversation.moveToLocal.modal.retry":"Дахин оролдох","localConversation.moveToWorktree.modal.back":"Буцах","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Салбар аль хэдийн байна.","localConversation.moveToWorktree.modal.branchesError":"Салбарууд ачаалах боломжгүй","localConversation.moveToWorktree.modal.branchesLoading":"Салбаруудыг ачаалж байна…","localConversation.moveToWorktree.modal.branchesRetry":"Дахин оролдох","localConversation.moveToWorktree.modal.continue":"Үргэлжлүүлэх","localConversation.moveToWorktree.modal.retry":"Дахин оролдох","localConversation.moveToWorktree.modal.trailingSlashError":"Салбарын нэр “/” -р төгсөх боломжгүй.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"шинэ-салбар","localConversation.personalityChanged":"{personality} зан төлөвд шилжсэн","localConversation.planSummary.collapse":"Багцын хураангуйг хураах","localConversation.planSummary.collapseTooltip":"Хураах","localConversation.planSummary.download":"Багц татах","localConversation.planSummary.expand":"Багцын хураангуйг өргөтгөх","localConversation.planSummary.expandTooltip":"Өргөтгөх","localConversation.planSummary.openInNewWindow":"Нээх","localConversation.planSummary.openInNewWindow.tooltip":"Шинэ цонхонд нээх","localConversation.planSummary.title":"Багц","localConversation.planSummary.titleWriting":"Бичих төлөвлөгөө","localConversation.planSummary.viewPlan":"Багц өргөтгөх","localConversation.remoteTaskCreated":"Codex Cloud дотор {taskLink} үүсгэсэн","localConversation.remoteTaskCreated.task":"даалгавар","localConversation.scrollToBottomButton":"Доош гүйлгэх","localConversation.sync.buttonLabel":"Локал руу шилжүүлэх","localConversation.sync.buttonLabel.tooltip":"Энэ ажлын мод болон өөрийн локал шалгалт хоёрын хооронд захиалга өөрчлөгдөнө.","localConversation.sync.modal.loading.title":"Өөрчлөлтүүдийг шилжүүлж байна…","localConversation.sync.modal.noChanges":"Өөрчлөлтгүй","localConversation.syncSetup.branchAriaLabel":"Салбарын нэр","localConversation.syncSetup.branchName":"Салбарын нэр","localConversation.syncSetup.branchPlaceholder.existing":"Одоо байгаа салбар сонгох","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Салбаруудыг ачаалж байна…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Аль хэдийн шинэчилсэн","localConversation.syncSetup.checkoutClean":"Одоогийн байдлаар {branchName}-д","localConversation.syncSetup.checkoutDirty":"Одоогийн байдлаар {branchName}-д коммит хийгдээгүй өөрчлөлтүүдтэй","localConversation.syncSetup.checkoutError":"Салбарыг шинэчилж чадсангүй: {message}","localConversation.syncSetup.checkoutLabel":"Локал орчинд одоо шинэчлэх","localConversation.syncSetup.checkoutOnLocal":"Локал руу шилжүүлэх","localConversation.syncSetup.checkoutPending":"Локал төлөвийг шалгаж байна…","localConversation.syncSetup.checkoutUnavailable":"Локал ажлын талбар боломжгүй","localConversation.syncSetup.checkoutUnknown":"Локал салбар боломжгүй","localConversation.syncSetup.continue":"Үргэлжлүүлэх","localConversation.syncSetup.createBranchError":"Шилжүүлэх салбарыг тохируулж чадсангүй: {message}","localConversation.syncSetup.error":"Ямар нэгэн алдаа гарлаа: {message}","localConversation.syncSetup.error.workingTreeMissing":"Ажлын модыг снэпшот хийж чадсангүй. Дахин шилжүүлж үзнэ үү.","localConversation.syncSetup.mode.ariaLabel":"Салбарын горим сонгох","localConversation.syncSetup.mode.existing":"Одоо байгаа салбар","localConversation.syncSetup.mode.new":"Шинэ салбар","localConversation.syncSetup.noBranches":"Салбар олдсонгүй","localConversation.syncSetup.overwriteError":"Салбар үүссэн боловч бүрэн шилжээгүй байна. Локал орчинд шинэчлэхээс өмнө гар аргаар шилжүүлнэ үү.","localConversation.syncSetup.setPrefix":"Угтвар өгөх","localConversation.syncSetup.subtitle":"Ажлын модны өөрчлөлтүүдийг локал орчинд туршиж, засварлана. <a>Нэмэлт мэдээлэл авах</a>","localConversation.syncSetup.success.checkedOut":"Салбар үүссэн ба локал орчинд шинэчлэгдсэн байна","localConversation.syncSetup.success.notCheckedOut":"Салбар үүссэн","localConversation.syncSetup.title":"Локал салбар луу шилжүүлэх","localConversation.syncWorktreeError.branchAriaLabel":"Салбарын нэр","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Шилжүүлэх салбарыг сонгоод өөрчлөлтүүдийг дахин ачаална уу.","localConversation.syncWorktreeError.branchSetup.title":"Салбар шинэчлэх","localConversation.syncWorktreeError.branchUpdate.cta":"Шинэчлээд дахин оролдох","localConversation.syncWorktreeError.branchUpdate.error":"Салбарыг шинэчилж чадсангүй: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Ямар нэгэн алдаа гарлаа: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Салбар аль ч ажлын мод дээр шинэчлэгдээгүй байна.","localConversation.syncWorktreeV2.applyUncommitted":"Хэрэгжүүлэх","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Коммит хийгдээгүй өөрчлөлтүүд оруулахын тулд салбарыг локал орчинд шинэчлэх ёстой","localConversation.syncWorktreeV2.branches.empty":"Салбар олдсонгүй","localConversation.syncWorktreeV2.branches.loading":"Салбаруудыг ачаалж байна…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Шилжүүлэх салбарыг өөрчлөх","localConversation.syncWorktreeV2.changeBranch.error":"Шилжүүлэх салбарыг өөрчилж чадсангүй: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Хэрэгжүүлэлт амжилтгүй","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Ажлын модыг дарж бичих амжилтгүй боллоо","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Локал дарж бичилт амжилтгүй","localConversation.syncWorktreeV2.commandError.back":"Буцах","localConversation.syncWorktreeV2.commandError.body":"Шилжүүлэх явцад git командын алдаа гарлаа. Гаралтыг шалгаад дахин оролдоно уу.","localConversation.syncWorktreeV2.commandError.retry":"Дахин оролдох","localConversation.syncWorktreeV2.description":"Өөрчлөлтүүдийг локал ба энэ ажлын мод хооронд шилжүүлнэ үү <a>Нэмэлт мэдээлэл авах</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Шилжүүлэх чиглэлийг сонгоно уу","localConversation.syncWorktreeV2.error.generic":"Шилжүүлэх явцад алдаа гарлаа. Дахин оролдоно уу.","localConversation.syncWorktreeV2.localBranchLabel":"Локал","localConversation.syncWorktreeV2.noChanges":"Өөрчлөлтүүдийг тооцож байна","localConversation.syncWorktreeV2.noChanges.summary":"Өөрчлөлтгүй","localConversation.syncWorktreeV2.overwrite.local":"Локал дарж бичилт","localConversation.syncWorktreeV2.overwrite.worktree":"Ажлын модыг дарж бичих","localConversation.syncWorktreeV2.partial.action.applyFailed":"Өөрчлөлтүүд оруулж чадсангүй","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Локал өөрчлөлтүүдийг дарж бичих боломжгүй","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Ажлын модны өөрчлөлтүүдийг дарж бичих боломжгүй","localConversation.syncWorktreeV2.partial.appliedLabel":"Хэрэгжсэн","localConversation.syncWorktreeV2.partial.back":"Буцах","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Зөрчлүүдийг шийдвэрлээд дахин оролдоно уу.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Зөрчлүүд","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# файл} other {# файлууд}}","localConversation.syncWorktreeV2.partial.retry":"Дахин оролдох","localConversation.syncWorktreeV2.partial.skippedLabel":"Алгассан","localConversation.syncWorktreeV2.stateFailed.generic":"Ажлын модны өөрчлөлтүүдийг шилжүүлэхээр дуудах үед алдаа гарлаа. Дахин оролдоно уу.","localConversation.syncWorktreeV2.stateFailed.title":"Ажлын модны өөрчлөлтүүдийг ачаалж чадсангүй","localConversation.syncWorktreeV2.statusError.diffUnknown":"Ажлын модны өөрчлөлтүүдийг ачаалж чадсангүй.","localConversation.syncWorktreeV2.statusError.retry":"Дахин оролдох","localConversation.syncWorktreeV2.statusError.title":"Локал салбарын өөрчлөлтүүдийг ачаалах боломжгүй","localConversation.syncWorktreeV2.statusError.unknown":"Салбарын төлөв одоогоор боломжгүй байна. Дахин оролдоно уу.","localConversation.syncWorktreeV2.success.apply":"Өөрчлөлтүүдийг амжилттай орууллаа","localConversation.syncWorktreeV2.success.overwrite":"Шилжүүлэлт амжилттай","localConversation.syncWorktreeV2.title":"Өөрчлөлтүүд шилжүүлэх","localConversation.syncWorktreeV2.worktreeLabel":"Ажлын мод","localConversation.userInputRequest.inProgress":"{count, plural, one {асуулт} other {асуултууд}}-с асууж байна","localConversation.userInputRequest.noAnswer":"Өгсөн хариулт алга","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Асуусан","localConversation.userInputRequest.summary.count":"{count, plural, one {# асуулт} other {# асуултууд}}","localConversation.workedFor":"{time}-н турш ажилласан","localConversation.worktreeBranchSetup.action.create":"Үүсгэх","localConversation.worktreeBranchSetup.branchAriaLabel":"Салбарын нэр","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Шинэ салбар нэмэх","localConversation.worktreeBranchSetup.checkoutDisabled":"Энэ салбар аль хэдийн {location}-д шинэчлэгдсэн байна","localConversation.worktreeBranchSetup.checkoutError":"Салбарыг шинэчилж чадсангүй: {message}","localConversation.worktreeBranchSetup.createBranchError":"Салбарыг тохируулж чадсангүй: {message}","localConversation.worktreeBranchSetup.error":"Ямар нэгэн алдаа гарлаа: {message}","localConversation.worktreeBranchSetup.subtitle":"Өөрчлөлт коммит хийх, түлхэх болон энэ ажлын модноос PR үүсгэхийн тулд салбар үүсгэнэ үү. <a>Нэмэлт мэдээлэл авах</a>","localConversation.worktreeBranchSetup.title":"Энд ажиллах","localConversationPage.addWorktreeToSidebar.tooltip":"Төслөөр хадгалснаар, та энэ ажлын модноос шинэ хэлхээнүүдийг эхлүүлэх боломжтой болно","localConversationPage.addWorktreeToSidebarError":"Төсөл нэмж чадсангүй","localConversationPage.commitAndCreatePrModal.errorTitle":"Коммит хийж, PR үүсгэх үйлдэл амжилтгүй","localConversationPage.commitAndCreatePrModal.successTitle":"Коммит хийж, PR үүсгэлээ","localConversationPage.commitAndPushModal.errorTitle":"Коммит хийх ба түлхэх үйлдэл амжилтгүй","localConversationPage.commitAndPushModal.successTitle":"Өөрчлөлтүүдийг коммит хийж, түлхэлт хийлээ","localConversationPage.commitCreatePr.open":"Пулл хүсэлт нээх","localConversationPage.commitCreatePr.successTitle":"Таны сүүлийн өөрчлөлтүүдээр PR үүсгэлээ","localConversationPage.createBranchButtonLabel":"Энд салбарлах","localConversationPage.createPrModal.baseBranch":"Суурь","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR үүсгэх","localConversationPage.createPrModal.createDescription":"Сүүлийн өөрчлөлтүүд дээрээ татах хүсэлт нээнэ үү.","localConversationPage.createPrModal.errorTitle":"Татах хүсэлт амжилтгүй","localConversationPage.createPrModal.headBranch":"Толгой","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR нээх","localConversationPage.createPrModal.successTitle":"Pull request үүслээ","localConversationPage.createPrModal.title":"Татах хүсэлт үүсгэх","localConversationPage.createPrModal.viewDescription":"Энэ салбарт аль хэдийн татах хүсэлт байна.","localConversationPage.createPrModal.viewTitle":"Татах хүсэлт бэлэн","localConversationPage.createPullRequestAuthGh":"GitHub CLI-г баталгаажуулах: `gh auth login` уншуулах","localConversationPage.createPullRequestBranchMissing":"Салбарын мэдээлэл байхгүй","localConversationPage.createPullRequestButtonLabel":"PR үүсгэх","localConversationPage.createPullRequestButtonLabel.loading":"PR үүсгэж байна…","localConversationPage.createPullRequestDefaultBranchMissing":"Өгөгдмөл салбарын мэдээлэл байхгүй","localConversationPage.createPullRequestError":"Pull request үүсгэж чадсангүй","localConversationPage.createPullRequestExistingPullRequest":"Энэ салбарт аль хэдийн татах хүсэлт байна","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI-ийн төлөвийг ачаалж байна…","localConversationPage.createPullRequestInstallGh":"PR үүсгэхийн тулд GitHub CLI (gh) суулгах","localConversationPage.createPullRequestNoRepo":"Git репозитор олдсонгүй","localConversationPage.createPullRequestPushStatusMissing":"Түлхэх төлөвийг ачаалж байна...","localConversationPage.createPullRequestSetUpstream":"PR үүсгэхээс өмнө энэ салбарыг push хийнэ үү","localConversationPage.createPullRequestSuccessToast":"Pull request үүслээ","localConversationPage.createPullRequestSwitchBranch":"PR үүсгэхээс өмнө feature салбарт шилжинэ үү","localConversationPage.error.render":"Локал харилцан яриаг дамжуулахад алдаа гарлаа","localConversationPage.error.toast":"Харилцан яриа олдсонгүй","localConversationPage.forcePushError":"Албадан түлхэлт хийж чадсангүй","localConversationPage.generatePullRequestMessageError":"Татах хүсэлтийн гарчиг ба их биеийг үүсгэж чадсангүй","localConversationPage.generatePullRequestMessageFailed":"Татах хүсэлтийн гарчиг ба их биеийг үүсгэж чадсангүй.","localConversationPage.gitActionResult.branch":"Салбар","localConversationPage.gitActionResult.cancel":"Цуцлах","localConversationPage.gitActionResult.close":"Хаах","localConversationPage.gitActionResult.tryAgain":"Дахин оролдох","localConversationPage.gitActions":"Git үйлдлүүд","localConversationPage.newChat":"Шинэ чат","localConversationPage.openInTarget":"Нээх","localConversationPage.openPrimaryTarget":"Нээх","localConversationPage.planItemsCompleted":"{completedItems} / {totalItems, plural, one {# даалгавар дууссан} other {# даалгавар дууссан}}","localConversationPage.pushAuthError":"Push амжилтгүй: баталгаажуулалт шаардлагатай","localConversationPage.pushBranchMissing":"Салбарын мэдээлэл байхгүй","localConversationPage.pushButtonLabel":"Идэвхжүүлэх","localConversationPage.pushButtonLabel.loading":"Түлхэж байна…","localConversationPage.pushError":"Өөрчлөлтүүдийг push хийж чадсангүй","localConversationPage.pushModal.branchLabel":"Салбар","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Цуцлах","localConversationPage.pushModal.confirm":"Идэвхжүүлэх","localConversationPage.pushModal.description":"Сүүлийн коммит хийсэн зүйлсээ алсын репозитор луу түлхэлт хийнэ үү.","localConversationPage.pushModal.errorTitle":"Түлхэлт амжилтгүй боллоо","localConversationPage.pushModal.forcePush":"Албадан түлхэлт","localConversationPage.pushModal.successTitle":"Түлхэлт дууслаа","localConversationPage.pushModal.title":"Өөрчлөлтүүд түлхэх","localConversationPage.pushModal.tryAgain":"Дахин оролдох","localConversationPage.pushNoUpstream":"Энэ салбарыг push хийхээс өмнө upstream тохируулна уу","localConversationPage.pushNoUpstreamError":"Push амжилтгүй: upstream тохируулаагүй","localConversationPage.pushNothingToPush":"Push хийх шинэ коммит байхгүй","localConversationPage.pushRemoteChangedError":"Түлхэлт амжилтгүй: алсын санд шинэ коммит хийх зүйлс байна","localConversationPage.pushRemoteRejectedError":"Push-ийг алсын сан татгалзлаа","localConversationPage.pushStatusMissing":"Түлхэх төлөвийг ачаалж байна...","localConversationPage.pushSuccessToast":"Түлхсэн өөрчлөлтүүд","localConversationPage.viewPullRequestButtonLabel":"PR үзэх","localConversationPage.viewPullRequestButtonLabel.loading":"Татах хүсэлтийг ачаалж байна…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# файл} other {# файлууд}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# жагсаалт} other {# жагсаалт}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# хайлт} other {# хайлтууд}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Судалж байна","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Судалсан","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} судалсан","localConversationTurnStory.showContent":"Контент харуулах","localConversationTurnStory.streamContent":"Контент дамжуулах","localConversationTurnStory.toggleReasoning":"Эргэцүүлэл харуулах","localTaskRow.archiveError":"Харилцан яриаг архивлаж чадсангүй","localTaskRow.resumeError":"Даалгаврыг үргэлжлүүлж чадсангүй","mermaidDiagram.ariaLabel":"Mermaid диаграмм","mermaidDiagram.copySource":"Mermaid хуулах","mermaidDiagram.originalCode":"Mermaid эх код","notifications.permissions.description":"Мэдэгдлийн зөвшөөрөл шаардлагатай үед сануулга харуулах","notifications.permissions.label":"Зөвшөөрлийн мэдэгдлийг идэвхжүүлэх","notifications.turnMode.always":"Үргэлж","notifications.turnMode.description":"Codex дууссаныг танд мэдэгдэх үед тохируулна","notifications.turnMode.label":"Дууссан тухай мэдэгдлийг асаах","notifications.turnMode.off":"Хэзээ ч үгүй","notifications.turnMode.unfocused":"Зөвхөн идэвхгүй үед","patchApprovalRequest.approve":"Зөвшөөрөх","patchApprovalRequest.menu.allowAlways":"Тиймээ, энэ холболтын хэсгийг дахин бүү асуу","patchApprovalRequest.menu.allowForSession":"Тиймээ, энэ холболтын хэсгийг дахин бүү асуу","patchApprovalRequest.menu.allowOnce":"Тийм","patchApprovalRequest.prompt":"Та эдгээр өөрчлөлтийг хиймээр байна уу?","patchApprovalRequest.reject":"Үгүй","patchApprovalRequest.waitingForApproval":"Файл засварлах зөвшөөрөл хүлээж байна","pendingRequest.approvalExec.collapse":"Хураах","pendingRequest.approvalExec.expand":"Өргөтгөх","pendingRequestStory.toastAnswer":"Хариулт: {answer}","pendingRequestStory.toastApprovalTitle":"Зөвшөөрөлтийн хариу","pendingRequestStory.toastFollowupPrompt":"Промпт: {prompt}","pendingRequestStory.toastFollowupTitle":"Нэмэлтүүд илгээсэн","pendingRequestStory.toastNoAnswers":"Хариулт байхгүй байна","pendingRequestStory.toastQuestion":"Асуулт: {question}","pendingRequestStory.toastUnknownDecision":"Тодорхойгүй","pendingRequestStory.toastUserInputTitle":"Илгээсэн хариултууд","quickAction.request.codeReview.branches.new":"{from} дээрх өөрчлөлтүүдийг {to}-тай харьцуулан хянана уу","quickAction.request.codeReview.uncommitted.new":"Миний коммит хийгээгүй өөрчлөлтүүдийг хянана уу","reasoningItem.thinking":"Бодож байна","reasoningItem.thought":"Бодсон","reasoningItem.thoughtWithElapsed":"{elapsed} турш бодсон","recentConversations.title":"Сүүлийн Харилцан Ярианууд","recentTasks.worktreeInitFailedTitle":"Worktree init амжилтгүй","recentTasks.worktreeSettingUpTitle":"Worktree үүсгэж байна","requestInputPanel.continue":"Үргэлжлүүлэх","requestInputPanel.dismiss":"Хаах","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Энд бичих","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Үгүй ээ, Codex-т юу хийхийг нь өөрөөр хэл","requestInputPanel.selectedBadge":"Сонгосон","requestInputPanel.skip":"Алгасах","requestInputPanel.submit":"Илгээх","review.commit.ariaLabel.includeUnstaged":"Unstaged өөрчлөлтүүд оруулах","review.commit.buttonLabel":"Коммит хийх","review.commit.disabled.committing":"Коммит хийж байна…","review.commit.disabled.loadingDiff":"Диффийг ачаалж байна…","review.commit.disabled.missingContext":"Коммит зурвас үүсгэхийн тулд контекст нэмнэ үү","review.commit.disabled.noChanges":"Коммит хийх өөрчлөлт алга","review.commit.disabled.noSelection":"Коммит хийх өөрчлөлт сонгох","review.commit.disabled.unavailable":"Одоогоор коммит хийх боломжгүй","review.commit.error":"Өөрчлөлтүүдийг коммит хийж чадсангүй","review.commit.form.changesToBeCommitted":"Өөрчлөлтүүд","review.commit.form.commitTo":"Салбар","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Үргэлжлүүлэх","review.commit.form.title":"Өөрчлөлтүүдээ коммит хийх","review.commit.generate.emptyResponse":"Коммит зурвас үүсгэж чадсангүй.","review.commit.generate.failed":"Коммит зурвас үүсгэж чадсангүй: {error}","review.commit.generate.missingPrompt":"Коммит зурвас үүсгэхийн тулд контекст нэмнэ үү.","review.commit.includeUnstaged":"Unstaged өөрчлөлтүүд оруулах","review.commit.loading.description":"Түр хүлээгээрэй, үүнд бага зэрэг хугацаа орно…","review.commit.loading.step.commit.done":"Өөрчлөлтүүдийг коммит хийлээ","review.commit.loading.step.commit.pending":"Өөрчлөлтийг коммит хийж байна","review.commit.loading.step.createPr.done":"Татах хүсэлт үүсгэлээ","review.commit.loading.step.createPr.pending":"Татах хүсэлт үүсгэж байна","review.commit.loading.step.push.done":"{branch} салбар луу түлхсэн","review.commit.loading.step.push.pending":"{branch}  салбар луу түлхэж байна","review.commit.loading.title.commit":"Өөрчлөлтийг коммит хийж байна","review.commit.loading.title.createPr":"PR үүсгэж байна","review.commit.loading.title.push":"Өөрчлөлтүүдийг түлхэж байна","review.commit.messageLabel":"Коммит зурвас","review.commit.messagePlaceholder":"Коммит зурвас автоматаар үүсгэх бол хоосон орхино уу","review.commit.nextSteps":"Дараагийн алхмууд","review.commit.nextSteps.commit":"Коммит хийх","review.commit.nextSteps.commitAndCreate":"Коммит хийж PR үүсгэх","review.commit.nextSteps.commitAndPush":"Коммит хийж түлхэх","review.commit.nextSteps.prRequiresGh":"GitHub CLI шаардана: {command}","review.commit.rows.changes":"Өөрчлөлтүүд","review.commit.rows.commitCount":"{count, plural, one {# коммит} other {# коммит}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# коммит} other {# коммит}} ба {stats}","review.commit.rows.fileCount":"{count, plural, one {# файл} other {# файлууд}}","review.commit.state.error.body":"Коммит хийх явцад алдаа гарлаа. Git статусаа шалгаад дахин оролдоно уу.","review.commit.state.error.title":"Коммит амжилтгүй","review.commit.state.success.title":"Өөрчлөлтүүдийг коммит хийлээ","review.commit.untracked.loadingStats":"Хянагдаагүй өөрчлөлтийн статистикийг ачаалж байна…","reviewFindingAttachments.count":"{count, plural, one {# олдсон зүйл} other {# олдсон зүйл}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Агентын зан төлөвийг тусгайлан тохируулахын тулд тохируулгаа засна уу","settings.agent.configuration.configToml.docs":"Docs","settings.agent.configuration.subtitle":"Эдгээр тохиргоо нь Codex ашиглах бүх газарт үйлчилнэ","settings.automations.banner.danger":"Автоматжуулалт нь таны өгөгдмөл sandbox тохиргоогоор ажилладаг бөгөөд одоогоор Бүрэн Эрхийн тохиргоонд байна. Бүрэн Эрх бүхий арын автоматжуулалт явуулах нь өндөр эрсдэлтэй. Учир нь Codex асуулгүйгээр файлууд өөрчлөх, команд уншуулах, сүлжээнд хандаж болзошгүй. Sandbox тохиргоог ажлын талбарын бичилт болгож шинэчлэх, мөн <rulesDocsLink>дүрмүүд</rulesDocsLink>-н тусламжтайгаар агентын бүрэн эрхээр уншуулж болох командуудыг тодорхойлно уу.","settings.automations.banner.defaultHowTo.default":"Автоматжуулалт нь таны өгөгдмөл sandbox тохиргоогоор ажилладаг. Хэрэв файлуудыг ажлын талбараас гадна өөрчлөх, сүлжээнд хандах, эсвэл таны компьютер дээрх аппуудтай ажиллахыг шаардаж байвал хэрэгслийн дуудлагууд амжилтгүй болно. <rulesDocsLink>Дүрмүүд</rulesDocsLink> ашиглан sandbox-оос гадна уншуулах командуудаар зөвшөөрөгдсөн жагсаалт хийж болно.","settings.automations.banner.defaultHowTo.readOnly":"Автоматжуулалт нь таны өгөгдмөл sandbox тохиргоогоор ажилладаг бөгөөд зөвхөн-унших горимд тохируулагдсан байна. Файл өөрчлөх, сүлжээнд хандах, таны компьютер дээрх аппуудтай ажиллахыг шаардаж байвал хэрэгслийн дуудлагууд амжилтгүй болно. Sandbox тохиргоог ажлын талбарын бичилт болгож шинэчлэхийг зөвлөж байна.","settings.automations.cancel":"Цуцлах","settings.automations.create":"Үүсгэх","settings.automations.cwdEmpty":"Боломжит төслийн хавтас алга","settings.automations.cwdLabel":"Төслүүд","settings.automations.cwdPlaceholder":"Хавтас сонгох","settings.automations.cwdSubtitle":"Хэрэв тодорхой салбар дээр автоматжуулалт явуулахыг хүсвэл промптдоо зааж өгнө үү.","settings.automations.delete":"Устгах","settings.automations.dialog.editTitle":"Автоматжуулалт засварлах","settings.automations.dialog.newTitle":"Шинэ автоматжуулалт","settings.automations.dialog.subtitle":"Тогтмол хийгддэг ажлуудыг арын горимд автоматжуулна уу. Codex нь олдворуудыг инбоксод нэмэх эсвэл тайлагнах зүйлгүй бол даалгаврыг автоматаар архивлана. <learnMoreLink>Нэмэлт мэдээлэл авах</learnMoreLink>","settings.automations.dialog.title":"Автоматжуулалт үүсгэх","settings.automations.executionCopy.git":"Автоматжуулалт нь зориулалтын ажлын моднууд дээр дэвсгэр хэсэгт ажиллана.","settings.automations.executionCopy.nonGit":"Хувилбарын хяналтгүй төслүүд дээрх автоматжуулалт нь төслийн лавлах дээр шууд ажиллана. Дэвсгэр хэсэгт ажлын мод дээр ажиллуулахын тулд Git ашиглахыг зөвлөж байна.","settings.automations.executionEnvironment.local":"Локал","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Ачаалж байна…","settings.automations.nameLabel":"Нэр","settings.automations.namePlaceholder":"Sentry асуудлууд шалгах","settings.automations.pause":"Түр зогсоох","settings.automations.promptLabel":"Промпт","settings.automations.promptPlaceholder":"$Sentry-с эвдрэл хайх","settings.automations.resume":"Үргэлжлүүлэх","settings.automations.rruleSummaryFallback":"Тусгай хуваарь","settings.automations.runNow":"Туршилт","settings.automations.save":"Хадгалах","settings.automations.scheduleBadge.dayCount":"{count}ө","settings.automations.scheduleBadge.interval":"{count}ц","settings.automations.scheduleBadge.weekdays":"Ажлын өдрүүд","settings.automations.scheduleBadge.weekends":"Амралтын өдрүүд","settings.automations.scheduleHeader":"Хуваарь","settings.automations.scheduleHours":"цаг","settings.automations.scheduleLabel":"Тутамд ажиллах","settings.automations.scheduleMode.daily":"Өдөр бүр","settings.automations.scheduleMode.interval":"Давтамж","settings.automations.scheduleModeLabel":"Хуваарийн төрөл","settings.automations.scheduleSummary.daily":"Өдөр бүрийн {time} цагт","settings.automations.scheduleSummary.interval":"{count}ц тутам","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# өдөр} other {# өдөр}}","settings.automations.scheduleSummary.intervalDays":"{days}-д {interval}","settings.automations.scheduleSummary.intervalHourly":"Цаг тутам","settings.automations.scheduleSummary.singleDay":"{day}-н {time} цагт","settings.automations.scheduleSummary.weekdays":"Ажлын өдрүүдэд {time} цагт","settings.automations.scheduleSummary.weekdaysLabel":"ажлын өдрүүдэд","settings.automations.scheduleSummary.weekends":"Амралтын өдрүүдэд {time} цагт","settings.automations.scheduleSummary.weekendsLabel":"амралтын өдрүүдэд","settings.automations.scheduleSummary.weekly":"{days}-н {time} цагт","settings.automations.scheduleWeekdays":"Асаалттай","settings.automations.weekdayState.excluded":"Ороогүй","settings.automations.weekdayState.included":"Орсон","settings.conversationDetail.steps":"Алхмууд","settings.conversationDetail.steps.description":"Гаралт болон командыг нуух","settings.conversationDetail.stepsWithCommands":"Кодон командуудыг нуух","settings.conversationDetail.stepsWithCommands.description":"Командуудыг харуулах, гаралтыг нугалах","settings.conversationDetail.stepsWithOutput":"Кодон гаралттай алхмууд","settings.conversationDetail.stepsWithOutput.description":"Командуудыг харуулах, гаралтыг өргөжүүлэх","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Архивласан чат алга.","settings.dataControls.archivedChats.error":"Архивласан чатуудыг ачаалж чадсангүй.","settings.dataControls.archivedChats.loading":"Архивласан чатуудыг ачаалж байна…","settings.dataControls.archivedChats.unarchive":"Архиваас гаргах","settings.dataControls.archivedChats.unarchiveError":"Чатын архивыг болиулж чадсангүй","settings.dataControls.archivedChats.unarchiveSuccess":"Архивлаагүй ярианы хэлхээ. <viewNowLink>Одоо харах</viewNowLink>","settings.dataControls.archivedChats.untitled":"Нэргүй чат","settings.editRow.headerPlaceholder":"Түлхүүр","settings.editRow.removeEntry":"Бичилт устгах","settings.editRow.valuePlaceholder":"Утга","settings.general.appearance":"Харагдах байдал","settings.general.appearance.codeFont":"Кодын фонт ","settings.general.appearance.codeFont.description":"Чат болон диффүүд дээрх кодын фонтыг тохируулах","settings.general.appearance.codeFontFamily":"Кодын фонтын бүл","settings.general.appearance.codeFontSize":"Кодын фонтын хэмжээ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Windows-д системийн тунгалаг байдлын оронд хатуу арын фон ашиглах","settings.general.appearance.opaqueWindows.label":"Бүдэг цонхны арын дэвсгэр ашиглах","settings.general.appearance.sansFontFamily":"Sans фонтын бүл","settings.general.appearance.sansFontFamily.description":"Codex UI-д ашиглах фонтыг тохируулах","settings.general.appearance.sansFontSize":"Sans фонтын хэмжээ","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.theme":"Загвар","settings.general.appearance.theme.dark":"Бараан","settings.general.appearance.theme.description":"Цайвар, бараан, эсвэл системийн өнгөтэй таарсан өнгө ашиглах","settings.general.appearance.theme.light":"Хөнгөн","settings.general.appearance.theme.system":"Систем","settings.general.appearance.usePointerCursors.description":"Интерактив элементүүд дээр хулганаа аваачихад курсорыг заагч болгон өөрчилнө үү","settings.general.appearance.usePointerCursors.label":"Заагч курсор ашиглах","settings.general.enterBehavior.description":"Боломжтой үед промптуудаас  {modifierSymbol} + асуу","settings.general.enterBehavior.label":"{modifierSymbol} + урт промптууд руу илгээ","settings.general.experimentalFeatures":"Туршилтын функцүүд (Бета)","settings.general.experimentalFeatures.empty":"Боломжтой бета туршилтын функц алга.","settings.general.experimentalFeatures.loading":"Туршилтын функцүүд ачаалж байна…","settings.general.experimentalFeatures.restartNote":"Туршилтын функцийн өөрчлөлтүүд оруулахын тулд Codex-ийг дахин эхлүүлнэ үү","settings.general.experimentalFeatures.toggle":"{featureName}-г сэлгэх","settings.general.followUpQueueMode.description":"Codex ажиллаж байх үед дагалдах ажлуудыг дараалалд оруулах эсвэл одоогийн ажлыг зогсоох","settings.general.followUpQueueMode.interrupt":"Чиглүүлэх","settings.general.followUpQueueMode.label":"Дагалдах ажлын үйлдэл","settings.general.followUpQueueMode.queue":"Дараалалд оруулах","settings.general.notifications":"Мэдэгдлүүд","settings.general.power.preventSleepWhileRunning.description":"Codex хэлхээ ажиллуулж байх явцад компьютероо асаалттай байлгана уу.","settings.general.power.preventSleepWhileRunning.label":"Ажиллаж байх үед унтрахаас сэргийлэх","settings.git.branchPrefix.ariaLabel":"Салбарын нэрийн угтвар","settings.git.branchPrefix.description":"Codex-д шинээр салбар үүсгэх үед нэрийн угтвар хэрэлэгддэг","settings.git.branchPrefix.label":"Салбарын нэрийн угтвар","settings.git.branchPrefix.placeholder":"Codex ","settings.git.branchPrefix.save.error":"Салбарын нэрийн угтварыг хадгалахад алдаа гарлаа","settings.git.branchPrefix.save.success":"Салбарын нэрийн угтвар хадгалагдлаа","settings.git.commitInstructions.ariaLabel":"Коммит хийх заавар","settings.git.commitInstructions.description":"Коммит зурвас үүсгэх промптууд руу нэмлээ","settings.git.commitInstructions.label":"Коммит хийх заавар","settings.git.commitInstructions.placeholder":"Коммит зурвасын заавар нэмэх…","settings.git.commitInstructions.save":"Хадгалах","settings.git.commitInstructions.save.error":"Коммит хийх зааврыг хадгалж чадсангүй","settings.git.commitInstructions.save.success":"Коммит хийх зааврыг хадгалсан","settings.git.forcePush.ariaLabel":"Үргэлж хүчээр түлхэх","settings.git.forcePush.description":"Codex-аас түлхэхдээ --force-with-lease ашиглана уу.","settings.git.forcePush.label":"Үргэлж хүчээр түлхэх","settings.git.forcePush.save.disabled":"Үргэлж хүчээр түлхэхийг идэвхгүй болгосон","settings.git.forcePush.save.enabled":"Үргэлж хүчээр түлхэхийг идэвхжүүлсэн","settings.git.forcePush.save.error":"Хүчээр түлхэх тохиргоог хадгалахад амжилтгүй боллоо.","settings.git.prInstructions.ariaLabel":"Татах хүсэлтийн заавар","settings.git.prInstructions.description":"Codex-оор үүсгэсэн татах хүсэлтийн их биед нэмсэн","settings.git.prInstructions.label":"Татах хүсэлтийн заавар","settings.git.prInstructions.placeholder":"Татах хүсэлтийн заавар нэмэх…","settings.git.prInstructions.save":"Хадгалах","settings.git.prInstructions.save.error":"Татах хүсэлтийн зааврыг хадгалж чадсангүй","settings.git.prInstructions.save.success":"Татах хүсэлтийн зааврыг хадгалсан","settings.ide.defaultOpenTarget.description":"Файл болон хавтас өгөгдмөлөөр нээгдэх газар","settings.ide.defaultOpenTarget.label":"Өгөгдмөл нээх байршил","settings.ide.defaultOpenTarget.placeholder":"Бай олдсонгүй","settings.ide.language.auto":"Автоматаар Илрүүлэх","settings.ide.language.autoOption":"Автоматаар Илрүүлэх","settings.ide.language.description":"Аппийн UI-ийн хэл","settings.ide.language.label":"Хэл","settings.ide.language.search":"Хэл хайх","settings.layout.actionButton":"Өргөтгөл дахин эхлүүлэх","settings.layout.actionTitle":"Үйлдэлтэй тохиргоо","settings.layout.fullWidthTitle":"Тохиргоо (Бүтэн Өргөн)","settings.layout.title":"Тохиргоо","settings.localEnvironments.actions.add":"Үйлдэл нэмэх","settings.localEnvironments.actions.add.description":"Шинээр команд үүсгээд түүлбараас шилж","settings.localEnvironments.actions.add.save":"Хадгалах","settings.localEnvironments.actions.empty":"Локал хэрэгслийн мөрөөс команд уншуулах үйлдэл нэмэх.","settings.localEnvironments.actions.icon.debug":"Дибаг хийх","settings.localEnvironments.actions.icon.run":"Уншуулах","settings.localEnvironments.actions.icon.test":"Туршилт","settings.localEnvironments.actions.icon.tool":"Хэрэгсэл","settings.localEnvironments.actions.item.button.delete":"Устгах","settings.localEnvironments.actions.item.command":"Үйлдлийн скрипт","settings.localEnvironments.actions.item.name":"Нэр","settings.localEnvironments.actions.item.platforms":"Платформууд","settings.localEnvironments.actions.item.platforms.help":"Зөвхөн тодорхой OS дээр уншуулах.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Платформ сонголт","settings.localEnvironments.actions.item.platforms.specific":"Тодорхой платформ","settings.localEnvironments.actions.item.platforms.windows":"Цонхнууд","settings.localEnvironments.actions.item.tooltip.delete":"Устгах","settings.localEnvironments.actions.title":"Үйлдлүүд","settings.localEnvironments.breadcrumb.back":"Буцах","settings.localEnvironments.breadcrumb.edit":"засах","settings.localEnvironments.breadcrumb.root":"Орчнууд","settings.localEnvironments.environment.actions.description":"Эдгээр үйлдлүүд нь ямар ч командыг уншуулах боломжтой бөгөөд толгой хэсэгт харагдана.","settings.localEnvironments.environment.actionsLabel":"Үйлдлүүд","settings.localEnvironments.environment.create":"Локал орчин үүсгэх","settings.localEnvironments.environment.defaultName":"локал","settings.localEnvironments.environment.edit":"Локал орчин засварлах","settings.localEnvironments.environment.empty":"Энэ төсөлд одоогоор локал орчин тохируулаагүй байна.","settings.localEnvironments.environment.name":"Нэр","settings.localEnvironments.environment.setup":"Скрипт тохиргоо","settings.localEnvironments.environment.setup.description":"Энэ скрипт нь worktree үүсэх үед ажиллана.","settings.localEnvironments.environment.setup.hint":"Төслийн үндсэнд ажилладаг.","settings.localEnvironments.environment.setup.platformOverrides":"Платформын дарж бичих тохиргоо","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} тохиргооны скрипт нэмэх","settings.localEnvironments.environment.setup.platformOverrides.description":"Тодорхой OS-үүдэд зориулж өгөгдмөл скриптийг дарж бичнэ.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Устгах","settings.localEnvironments.environment.setup.script":"Скрипт","settings.localEnvironments.environment.title":"Орчны дэлгэрэнгүй","settings.localEnvironments.file.missing":"Энэ файлыг анх удаа үүсгэхийн тулд хадгална уу.","settings.localEnvironments.file.parseError":"Одоогийн файлыг задлах боломжгүй. Хадгалбал үүнийг дарах болно. ({error})","settings.localEnvironments.file.path":"Файл: {path}","settings.localEnvironments.file.readError":"Локал орчны өгөгдлийг ачаалж чадсангүй. ({error})","settings.localEnvironments.file.title":"Локал орчны файл","settings.localEnvironments.loading.body":"Таны төслийн тохируулгыг дуудаж байна.","settings.localEnvironments.loading.title":"Локал орчнуудыг ачаалж байна","settings.localEnvironments.preview.devOnly":"(Зөвхөн ХӨГЖҮҮЛЭГЧ)","settings.localEnvironments.preview.save":"Хадгалах","settings.localEnvironments.preview.saveError":"Файлыг хадгалж чадсангүй. ({error})","settings.localEnvironments.preview.title":"Урьдчилан харах","settings.localEnvironments.save.disabled.name":"Хадгалахын тулд орчны нэр үүсгэнэ үү","settings.localEnvironments.save.disabled.noChanges":"Хадгалах өөрчлөлт алга байна","settings.localEnvironments.save.disabled.saving":"Хадгалж байна...","settings.localEnvironments.save.success":"Локал орчныг хадгалсан","settings.localEnvironments.unavailable.body":"Энэ төсөлд локал орчны тохиргоог ачаалж чадсангүй.","settings.localEnvironments.unavailable.title":"Локал орчнууд боломжгүй","settings.localEnvironments.workspace.add":"Төсөл нэмэх","settings.localEnvironments.workspace.title":"Төсөл","settings.localEnvironments.workspaceSelect.addLabel":"Орчин нэмэх","settings.localEnvironments.workspaceSelect.description":"Локал орчнууд нь хэрхэн төсөлд ажлын мод үүсгэхийг Codex-д заадаг. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Одоогоор төсөл алга. Локал орчин тохируулахын тулд шинээр нэмнэ үү.","settings.localEnvironments.workspaceSelect.errorLabel":"Орчинд анхаарах шаардлагатай","settings.localEnvironments.workspaceSelect.learnMore":"Нэмэлт мэдээлэл авах","settings.localEnvironments.workspaceSelect.listLabel":"Боломжит төслүүд","settings.localEnvironments.workspaceSelect.loading":"Төслүүдийг ачаалж байна.","settings.localEnvironments.workspaceSelect.loadingLabel":"Орчныг ачаалж байна","settings.localEnvironments.workspaceSelect.title":"Төсөл сонгох","settings.localEnvironments.workspaceSelect.viewAction":"Харах","settings.mcp.addServer":"Сервер нэмэх","settings.mcp.app.configure":"Тохируулах","settings.mcp.app.connect":"Холбох","settings.mcp.apps.refresh":"Сэргээх","settings.mcp.detail.addArgument":"Аргумент нэмэх","settings.mcp.detail.addEnvVar":"Орчны хувьсагч нэмэх","settings.mcp.detail.addEnvVarPassthrough":"Хувьсагч нэмэх","settings.mcp.detail.args":"Аргументууд","settings.mcp.detail.back":"Буцах","settings.mcp.detail.command":"Эхлүүлэх команд","settings.mcp.detail.cwd":"Ажлын лавлах","settings.mcp.detail.docs":"MCP бичиг баримтыг нээх","settings.mcp.detail.docs.link":"Docs","settings.mcp.detail.envVarPassthrough":"Орчны хувьсагч дамжуулалт","settings.mcp.detail.envVars":"Орчны хувьсагчууд","settings.mcp.detail.http.addEnvHeader":"Хувьсагч нэмэх","settings.mcp.detail.http.addHeader":"Толгой хэсэг нэмэх","settings.mcp.detail.http.bearerToken":"Bearer токен орчны хувьсагч","settings.mcp.detail.http.envHeaders":"Орчны хувьсагчуудаас ирсэн толгой хэсгүүд","settings.mcp.detail.http.headers":"Толгой хэсгүүд","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Нэр","settings.mcp.detail.save":"Хадгалах","settings.mcp.detail.switchTransportNotice":"Хэрэв та MCP серверийн төрлийг солихыг хүсвэл эхлээд устгана уу.","settings.mcp.detail.titleExisting":"{name} MCP шинэчлэх","settings.mcp.detail.titleNew":"Тусгай MCP-д холбох","settings.mcp.detail.transport.http":"Дамжуулах боломжтой HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Устгах","settings.mcp.empty":"Холбогдсон тусгай MCP серверүүд байхгүй","settings.mcp.myServers":"Тусгай серверүүд","settings.mcp.partnerServer.description.figma":"Бүтэн Figma контекстийг оруулж, илүү сайн код үүсгээрэй","settings.mcp.partnerServer.description.github":"Ажлын урсгал автоматжуулах болон өгөгдөл задлахын тулд GitHub API-уудтай нэгтгээрэй","settings.mcp.partnerServer.description.linear":"Linear-ийн асуудал мөшгөлт болон төслийн удирдлагатай нэгтгээрэй","settings.mcp.partnerServer.description.notion":"Бичиг баримт уншиж, хуудас шинэчилж, даалгавар удирдаарай","settings.mcp.partnerServer.description.playwright":"Дизайн гүйцэтгэх болон UI тестлэхийн тулд хөтчийн автоматжуулалтыг нэгтгээрэй","settings.mcp.partnerServer.install":"Суулгах","settings.mcp.partnerServer.installAndAuthenticate":"Суулгаад баталгаажуулах","settings.mcp.partnerServer.logoAlt":"{label} лого","settings.mcp.partnerServer.manage":"Удирдах","settings.mcp.partnerServer.vendor":"{vendor}-р","settings.mcp.recommendedServers":"Санал болгох серверүүд","settings.mcp.restartApp":"Дахин эхлүүлэх","settings.mcp.restartExtension":"Өргөтгөл дахин эхлүүлэх","settings.mcp.server.enable":"Идэвхжүүлэх","settings.mcp.server.login":"Баталгаажуулах","settings.mcp.server.settings":"Тохиргоо","settings.multiselect.createOption":'"{value}" үүсгэх',"settings.multiselect.removeOption":"Устгах","settings.nav.account":"Бүртгэл","settings.nav.agent":"Тохируулга","settings.nav.ariaLabel":"Тохиргоо","settings.nav.back":"Апп руу буцах","settings.nav.data-controls":"Архивласан ярианы хэлхээ","settings.nav.environments":"Cloud Орчнууд","settings.nav.externalTooltip":"[alpha] Хөтөч дотор нээгдэнэ","settings.nav.general-settings":"Ерөнхий","settings.nav.git-settings":"Git","settings.nav.local-environments":"Орчнууд","settings.nav.mcp-settings":"MCP серверүүд","settings.nav.notImplemented":"[alpha] Alpha-д боломжгүй","settings.nav.personalization":"Хувийн тохиргоо","settings.nav.skills-settings":"Чадварууд","settings.nav.usage-analytics":"Хэрэглээ ба Дүн шинжилгээ","settings.nav.worktrees":"Ажлын мод","settings.openSourceLicenses.back":"Буцах","settings.openSourceLicenses.loading":"Ачаалж байна…","settings.openSourceLicenses.missing":"Гуравдагч этгээдийг шинж тэмдэг байхгүй.","settings.openSourceLicenses.notSupported":"ЭНэ серверт ашиглах боломжгүй","settings.openSourceLicenses.rowDescription":"Багцлагдсан хамааралтай програмуудын гуравдагч талын мэдэгдлүүд","settings.openSourceLicenses.rowLabel":"Эх сурвалжийн лицензүүдыг нээх","settings.openSourceLicenses.subtitle":"Энэ апп-д орсон хамаарал бүхий гуравдагч талын мэдэгдлүүд","settings.openSourceLicenses.title":"Эх сурвалжийн лицензүүдыг нээх","settings.openSourceLicenses.view":"Харах","settings.personalization.agents.description":"Codex-ийг танд тохирсон байлгахаар зааврыг засварлана уу. {learnMore}","settings.personalization.agents.learnMore":"Нэмэлт мэдээлэл авах","settings.personalization.agents.loadError":"agents.md ачаалах боломжгүй.","settings.personalization.agents.loading":"agents.md ачаалж байна…","settings.personalization.agents.placeholder":"Тусгай заавраа нэмнэ үү…","settings.personalization.agents.retry":"Дахин оролдох","settings.personalization.agents.save":"Хадгалах","settings.personalization.agents.save.error":"agents.md-г хадгалах боломжгүй","settings.personalization.agents.save.success":"agents.md-г хадгалсан","settings.personalization.agents.title":"Тусгай заавар","settings.personalization.personality.description":"Codex-ийн хариултын үндсэн өнгө аясыг сонгоно уу","settings.personalization.personality.label":"Зан төлөв","settings.sample.contentBody":"Энэ бүтцийг ашиглан тохиргооны цонхоо нэгэн жигд зайтайгаар зохион байгуулна уу.","settings.sample.contentTitle":"Жишээ контентийн блок","settings.section.account":"Бүртгэл","settings.section.agent":"Тохируулга","settings.section.data-controls":"Архивласан ярианы хэлхээ","settings.section.environments":"Cloud Орчнууд","settings.section.external":"Alpha-гийн явцад таны хөтөч дотор нээгдэнэ","settings.section.general-settings":"Ерөнхий","settings.section.git-settings":"Git","settings.section.local-environments":"Орчнууд","settings.section.mcp-settings":"MCP серверүүд","settings.section.mcp-settings.docs":"Docs","settings.section.mcp-settings.subtitle":"Гадны хэрэгсэл болон өгөгдлийн эх сурвалжууд холбох.","settings.section.personalization":"Хувийн тохиргоо","settings.section.skills-settings":"Чадварууд","settings.section.unavailable":"Одоогоор Alpha-д ашиглах боломжгүй","settings.section.usage-analytics":"Хэрэглээ ба Дүн шинжилгээ","settings.section.worktrees":"Ажлын мод","settings.threadDetail.description":"Хэлхээ дээр командын гаралтыг хэр ихээр харуулахыг сонгоно уу.","settings.threadDetail.label":"Хэлхээний дэлгэрэнгүй","settings.worktrees.conversation.untitled":"Нэргүй харилцан яриа","settings.worktrees.delete.error":"Ажлын салангид хавтсыг устгаж чадсангүй","settings.worktrees.empty.body":"Codex-оор үүсгэсэн ажлын мод энд харагдана.","settings.worktrees.empty.title":"Харайхан ажлын мод байхгүй байна.","settings.worktrees.error.body":"Ажлын модыг ачаалж байх үед ямар нэгэн алдаа гарлаа.","settings.worktrees.error.retry":"Дахин оролдох","settings.worktrees.error.title":"Салбарууд ачаалах боломжгүй","settings.worktrees.loading.body":"Ажлын модны дэлгэрэнгүй мэдээллийг татаж байна.","settings.worktrees.loading.title":"Ажлын модыг ачаалж байна","settings.worktrees.repository.loading":"Repository-ийн мета мэдээллийг ачаалж байна…","settings.worktrees.repository.unknown":"Тодорхойгүй репозитор","settings.worktrees.row.conversations":"Харилцан ярианууд","settings.worktrees.row.conversations.empty":"Энэ ажлын модтой холбоотой ямар ч харилцан яриа алга.","settings.worktrees.row.conversations.loading":"Харилцан яриаг ачаалж байна…","settings.worktrees.row.delete":"Устгах","settings.worktrees.row.title":"Ажлын мод","sidebarElectron.addWorkspaceRoot":"Шинэ төсөл нэмэх","sidebarElectron.archiveThread":"Архивын хэлхээ","sidebarElectron.archiveThreadError":"Хэлхээг архивлаж чадсангүй","sidebarElectron.collapseFolder":"Хавтас хураах","sidebarElectron.createStableWorktree.dialog.cancel":"Цуцлах","sidebarElectron.createStableWorktree.dialog.create":"Үүсгэх","sidebarElectron.debugNavLink":"Дибаг хийх","sidebarElectron.editWorkspaceRootOptionName":"Нэр засах","sidebarElectron.expandFolder":"Хавтас өргөтгөх","sidebarElectron.groupByMenu.recency":"Цагийн дарааллын жагсаалт","sidebarElectron.groupByMenu.title":"Цэгцлэх","sidebarElectron.groupByMenu.workspace":"Төслөөр","sidebarElectron.inboxRouteNavLink":"Автоматжуулалт","sidebarElectron.missingWorkspaceRoot":"Энэ төслийн хавтас устсан эсвэл шилжсэн","sidebarElectron.newThread":"Шинэ хэлэлцүүлэг","sidebarElectron.newThreadInGroup":"{folder}-д шинэ хэлхээ эхлүүлэх","sidebarElectron.noRecentThreads":"Сүүлийн үеийн хэлхээ байхгүй","sidebarElectron.noTasks":"Хэлхээ алга","sidebarElectron.noTasks.start":"Шинэ төсөл нэмэх","sidebarElectron.noTasksWithFilter":"Шүүлтүүрт тохирох хэлхээ алга","sidebarElectron.pinnedThreads":"Дээр тогтоосон хэлхээнүүд","sidebarElectron.recentNavLink":"Хэлхээ","sidebarElectron.recentThreads":"Сүүлийн үеийн хэлхээ","sidebarElectron.removeWorkspaceRootOption":"Устгах","sidebarElectron.renameThread":"Хэлхээний нэрийг өөрчлөх","sidebarElectron.renameThreadDialogAriaLabel":"Хэлхээний гарчиг","sidebarElectron.renameThreadDialogCancel":"Цуцлах","sidebarElectron.renameThreadDialogPlaceholder":"Гарчиг нэмэх…","sidebarElectron.renameThreadDialogSave":"Хадгалах","sidebarElectron.renameThreadDialogSubtitle":"Богино бөгөөд танигдахуйц байлга.","sidebarElectron.renameThreadDialogTitle":"Хэлхээний нэрийг өөрчлөх","sidebarElectron.renameThreadError":"Хэлхээний нэрийг өөрчилж чадсангүй","sidebarElectron.renameWorkspaceRootOptionLabel":"Дэлгэцийн нэр","sidebarElectron.showLess":"Бага харуулах","sidebarElectron.showMenu.all":"Бүх хэлхээ","sidebarElectron.showMenu.relevant":"Холбогдолтой","sidebarElectron.showMenu.relevantHint":"Зөвхөн таны анхаарал хэрэгтэй одоогийн салбар, ажлын мод, бусад хэлхээ дээр саяхны хэлхээг харуул","sidebarElectron.showMenu.title":"Харуулах","sidebarElectron.showMenu.tooltip":"Хэлхээнүүд шүүх, ангилах, цэгцлэх","sidebarElectron.showMenu.trigger":"Хажуу мөрийн хэлхээнүүд шүүх","sidebarElectron.showMore":"Илүүг харуулах","sidebarElectron.skillsRouteNavLink":"Чадварууд","sidebarElectron.sortMenu.created":"Үүсгэсэн","sidebarElectron.sortMenu.title":"Ангилах","sidebarElectron.sortMenu.updated":"Шинэчлэгдсэн","sidebarElectron.taskNavigation":"Автоматжуулалтын хавтаснууд","sidebarElectron.tasksInFolder":"{folder} дэх автоматжуулалтууд","sidebarElectron.workspaceOptions":"{folder}-д хийх төслийн үйлдлүүд","sidebarElectron.worktreeGroupTooltip":"Энэ бол git worktree","skills.appsPage.createSkill":"Шинэ чадвар","skills.appsPage.empty.skills":"Чадвар олдсонгүй","skills.appsPage.search.skills":"Чадвар хайх","skills.appsPage.search.skills.label":"Чадвар хайх","skills.appsPage.section.installedApps":"Суулгасан","skills.appsPage.section.skills":"Чадварууд","skills.appsPage.subheading":"Codex-д супер хүч өгөөрэй. <link>Нэмэлт мэдээлэл авах</link>","skills.appsPage.tab.recommended":"Санал болгосон","skills.appsPage.tab.skills":"Чадварууд","skills.card.contentsError":"Чадварын агуулгыг ачаалах боломжгүй.","skills.card.disable":"Идэвхгүй болгох","skills.card.disableSuccess":"{skillName} чадварыг идэвхгүй болгосон","skills.card.disabledBadge":"Идэвхгүй","skills.card.enable":"Идэвхжүүлэх","skills.card.enableSuccess":"{skillName} чадварыг идэвхжүүлсэн","skills.card.loadingContents":"Чадварын агуулгыг ачаалж байна...","skills.card.more":"Нэмэлт үйлдлүүд","skills.card.open":"Нээх","skills.card.removeFailed":"Чадварыг устгаж чадсангүй","skills.card.removeSuccess":"{skillName} чадварыг устгасан","skills.card.toggleEnabledError":"Чадварыг шинэчилж чадсангүй","skills.card.try":"Турших","skills.card.trySkill":"Чадвар турших","skills.card.uninstall":"Устгах","skills.hero.dotLabel":"Слайд {index} руу очих","skills.hero.next":"Дараагийн онцлох чадвар","skills.hero.trySkill":"Чадвар турших","skills.page.createSkill":"Шинэ чадвар","skills.page.empty":"Чадвар олдсонгүй","skills.page.filteredEmpty":"Шүүлтүүрт тохирох чадвар алга","skills.page.filteredEmptyDescription":"Хайлт эсвэл хамрах хүрээний шүүлтүүрээ өөрчилж үзнэ үү","skills.page.heading":"Чадварууд","skills.page.loading":"Чадварууд ачаалж байна...","skills.page.refreshSkills":"Сэргээх","skills.page.refreshSkillsToUseNew":"Шинэ чадвар(ууд) ашиглахын тулд сэргээнэ үү","skills.page.search":"Чадвар хайх","skills.page.search.label":"Чадвар хайх","skills.page.subheading":"Codex-д супер хүч өгөөрэй. <link>Нэмэлт мэдээлэл авах</link>","skills.preview.copyPrompt":"Өгөгдөл хуулах","skills.preview.examplePrompt":"Жишээ асуулга","skills.recommended.error":"Санал болгосон чадваруудыг ачаалах боломжгүй","skills.recommended.install":"Суулгах","skills.recommended.installSkill":"Чадвар суулгах","skills.recommended.installSuccess":"{skillName} чадварыг суулгасан","skills.recommended.installed":"Суулгасан","skills.scope.admin":"Админ","skills.scope.adminInstalled":"Админы суулгасан","skills.scope.builtIn":"Систем","skills.scope.personal":"Хувийн","skills.scope.repo":"Репо","skills.scope.system":"Систем","skills.scope.team":"Баг","skills.scope.user":"Хэрэглэгч","skills.section.installed":"Суулгасан","skills.section.recommended":"Санал болгосон","story.slidingToggle.existing":"Одоо байгаа","story.slidingToggle.fromLocal":"Локалаас","story.slidingToggle.new":"Шинэ","story.slidingToggle.toLocal":"Локалд","terminal.close":"Терминал хаах","terminal.title":"Терминал","thinkingShimmer.default":"Бодож байна","threadEnvIcon.cloudTooltip":"Энэ харилцан яриа нь Codex Cloud-д явагдаж байна.","threadEnvIcon.localTooltip":"Энэ харилцан яриа локал орчинд явагдаж байна.","threadEnvIcon.worktreeTooltip":"Энэ харилцан яриа нь локал git worktree-д явагдаж байна.","threadHeader.archiveConfirmCancel":"Цуцлах","threadHeader.archiveConfirmConfirm":"Архивлах","threadHeader.copySessionId":"Холболтын хэсгийн id-г хуулах","threadHeader.copyWorkingDirectory":"Ажлын лавлахыг хуулах","threadHeader.moreActions":"Хэлхээний үйлдлүүд","threadPage.newThread":"Шинэ хэлхээ","threadPage.runAction.changeEnvironment":"Орчинг өөрчил","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} Үйлдлүүд","threadPage.runAction.environmentSelector.label":"Орчин сонгох","threadPage.runAction.label":"Уншуулах","threadPage.runAction.missing.label":"Ажиллуулах үйлдэл үүсгэх","threadPage.runAction.setup.commandLabel":"Уншуулах команд","threadPage.runAction.setup.description":"Codex-д хамаарлууд хэрхэн суулгах болон аппаа хэрхэн эхлүүлэхийг зааж өгөөрэй.","threadPage.runAction.setup.editMore":"Орчны тохиргоо","threadPage.runAction.setup.placeholder":"жнь: npm install npm run","threadPage.runAction.setup.submit":"Хадгалаад уншуулах","threadPage.runAction.setup.title":"Уншуулах","threadPage.runAction.tooltip.withEnvironment":"{environmentName} Үйлдлүүд","threadPage.toggleDiffPanel":"Дифф самбарыг сэлгэх","threadPage.toggleTerminal":"Терминал сэлгэх","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Хавтас нээх","toolSummaryForCmd.exploredFiles":"Файлуудыг <verb>жагсаасан</verb>","toolSummaryForCmd.exploredFilesInPath":"{path}-д файлуудыг <verb>жагсаасан</verb>","toolSummaryForCmd.exploringFiles":"Файлуудыг <verb>жагсааж байна</verb>","toolSummaryForCmd.exploringFilesInPath":"{path}-д файлуудыг <verb>жагсааж байна</verb>","toolSummaryForCmd.ranGenericCommand":"<status>Команд уншуулсан</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ажиллуулсан</status> {command}{timer}","toolSummaryForCmd.read":"{path}-г <verb>уншсан</verb>","toolSummaryForCmd.runningGenericCommand":"<status>Команд уншуулж байна</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}-д","toolSummaryForCmd.searchedFor":"{query}-г <verb>хайсан</verb>","toolSummaryForCmd.searchedForFiles":"Файлуудыг <verb>хайсан</verb>","toolSummaryForCmd.searchedForInPath":"{path}-с {query}-г <verb>хайсан</verb>","toolSummaryForCmd.searchingFor":"{query}-г <verb>хайж байна</verb>","toolSummaryForCmd.searchingForFiles":"Файлуудыг <verb>хайж байна</verb>","toolSummaryForCmd.searchingForInPath":"{path}-с {query}-г <verb>хайж байна</verb>","traceRecording.startDetails.cancel":"Цуцлах","wham.diff.addComment":"Сэтгэгдэл нэмэх","wham.diff.binaryFile":"Хоёртын файл харагдахгүй","wham.diff.noContent":"Контент байхгүй","wham.fileTag.deleted":"Устгасан","wham.fileTag.new":"Шинэ","wham.formattedRelativeDateTime.compactDaysAgo":"{value}ө","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ц","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}м","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}сар","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}д/х","wham.formattedRelativeDateTime.compactYearsAgo":"{value}ж","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Таны даалгавар дээр ажиллаж байна","wham.whamProposedTask.title":"Санал болгосон даалгавар","wham.whamProposedTask.useSuggestion":"Санал ашиглах","workspaceRootDialog.addError":"Төсөл нэмж чадсангүй","workspaceRootDialog.cancel":"Цуцлах","workspaceRootDialog.confirmAdd":"Төсөл нэмэх","workspaceRootDialog.confirmPick":"Төсөл ашиглах","workspaceRootDialog.description":"Төслөөр ашиглахын тулд {host} дээр зам оруулна уу.","workspaceRootDialog.pathLabel":"Төслийн зам","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Төслийн зам нэмэх","workspaceRootDialog.title.pick":"Төслийн зам сонгох","worktreeInitV2.cancel":"Цуцлах","worktreeInitV2.notification.failedTitle":"Worktree тохиргоо амжилтгүй","worktreeInitV2.output.empty":"Гаралт хүлээж байна…","worktreeInitV2.status.error":"Worktree тохиргоо амжилтгүй.","worktreeInitV2.status.running":"Worktree үүсгэж, суулгалтыг явуулж байна.","worktreeInitV2.status.success":"Worktree бэлэн боллоо.","worktreeInitV2.title":"Worktree үүсгэж байна","worktreeInitV2.workLocallyInstead":"Оронд нь локал орчинд ажиллах","worktreeRestoreBanner.body":"Дискний зай хэмнэхийн тулд энэ хэлхээний ажлын модыг устгасан","worktreeRestoreBanner.missing.body":"Энэ хэлхээний ажлын лавлах байхгүй болсон","worktreeRestoreBanner.missing.title":"Одоогийн ажлын лавлах дутуу байна","worktreeRestoreBanner.restore.error":"Ажлын модыг сэргээж чадсангүй: {message}","worktreeRestoreBanner.restore.success":"Ажлын модыг сэргээсэн","worktreeRestoreBanner.restoreCta":"Ажлын модыг сэргээх","worktreeRestoreBanner.title":"Ажлын модыг цэвэрлэсэн"};Object.assign(e,globalThis.codexI18nOverrides?.["mn"]);export{e as default};
 //# sourceMappingURL=mn-D_dvBBvB.js.map
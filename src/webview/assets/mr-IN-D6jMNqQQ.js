@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"कॉपी करा","app.sidebar.hide":"साइडबार लपवा","app.sidebar.show":"साइडबार दाखवा","app.sidebar.tooltip":"साइडबार टॉगल करा","appHeader.installUpdate":"अद्यतनित करा","appSunset.body":"अ‍ॅपच्या ही आवृत्तीसाठी यापुढे सपोर्ट नाही. कृपया नवीनतम आवृत्ती <here>येथून</here> डाउनलोड करा.","appSunset.title":"अपडेट करणे गरजेचे आहे","automation.updateDirective.create":"तयार करा","automation.updateDirective.open":"उघडा","automation.updateDirective.untitled":"विनाशीर्षक ऑटोमेशन","automation.updateDirective.update":"अद्यतनित करा","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# प्रयत्न} other {# प्रयत्न}}","cloudTaskRow.archiveError":"काम संग्रहित करता आले नाही","code.diff.requestChange":"बदलाची विनंती करा","code.diffComment.cancel":"रद्द करा","code.diffComment.comment":"कॉमेंट","code.diffComment.delete":"हटवा","code.diffComment.save":"जतन करा","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"कोणतेही परिणाम नोंदवले गेले नाहीत.","codex.alert.closeAriaLabel":"बंद करा","codex.appUpsellBanner.cbpApi.message":"कोडेक्स ॲपसह अधिक जलद तयार करा. आता डाउनलोड करा किंवा {learnMoreLink}.","codex.appUpsellBanner.download":"डाउनलोड करा","codex.appUpsellBanner.freeGo.message":"कोडेक्स तुमच्या योजनेत 2 मार्चपर्यंत समाविष्ट आहे. अधिक जलद निर्मिती करण्यासाठी कोडेक्स ॲप वापरून पहा.","codex.appUpsellBanner.later":"नंतर","codex.appUpsellBanner.learnMoreLowercase":"अधिक जाणून घ्या","codex.appUpsellBanner.new":"नवीन","codex.appUpsellBanner.proPlusBusiness.message":"2 एप्रिलपर्यंत 2x दर मर्यादेसह कोडेक्स ॲप वापरून पहा. आता डाउनलोड करा किंवा {learnMoreLink}.","codex.appUpsellBanner.title":"कोडेक्स ॲप","codex.applyDropdown.header.changes":"बदल","codex.applyDropdown.header.fileCount":"{count, plural, one {# फाइल} other {# फाइल्स}}","codex.applyDropdown.header.rows":"ओळी","codex.applyDropdown.header.title":"बदल लागू करा","codex.applyDropdown.header.workspace":"प्रोजेक्ट","codex.applyDropdown.results.conflicted":"{count, plural, one {1 फाइल विवादित:} other {{count} फाइल्स विवादित:}}","codex.applyDropdown.results.empty":"एकही फाइल कॉपी केली नाही","codex.applyDropdown.results.skipped":"{count, plural, one {1 फाइल वगळली:} other {{count} फाइल्स वगळल्या:}}","codex.applyOrRevertBanner.apply":"लागू करा","codex.applyOrRevertBanner.applyMessage":"बदल लागू करून स्थानिक पातळीवर चालू ठेवायचे?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"हे काम {environment} मधील असल्यामुळे बदल नीट लागू होणार नाहीत असे होऊ शकेल.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"हे बदल {environment} मध्ये केले असल्यामुळे नीट लागू होणार नाहीत असे होऊ शकेल.","codex.applyOrRevertBanner.reapply":"पुन्हा लागू करा","codex.applyOrRevertBanner.revert":"पूर्वस्थितीवर या","codex.applyOrRevertBanner.revertMessage":"लागू केलेले बदल पूर्वस्थितीवर आणायचे?","codex.applyResultsDialog.applied":"({count}) नीट लागू झाले","codex.applyResultsDialog.close":"बंद करा","codex.applyResultsDialog.conflicted":"({count}) विवादित","codex.applyResultsDialog.noDetails":"फाइलचे तपशील उपलब्ध नाहीत.","codex.applyResultsDialog.skipped":"वगळले ({count})","codex.applyResultsDialog.title":"परिणाम लागू करा","codex.archiveInfo":"{dataControlsLink} मध्ये संग्रहित चॅट्स पहा.","codex.archiveInfo.dataControlsLink":"डेटा नियंत्रणे","codex.archiveInfo.electron":"{settingsLink} मध्ये संग्रहित चॅट्स पहा","codex.archiveInfo.extension":"तुमच्या .codex फोल्डरमध्ये संग्रहित चॅट्स पहा.","codex.archiveInfo.settingsLink":"सेटिंग्ज","codex.banner.content.description":"एकाच वेळी कामे चालवा, प्रगतीचा मागोवा कुठूनही घ्या आणि AI सह PR चे पुनरावलोकन करा.","codex.banner.content.headline":"कोडेक्स सर्वकाही करते.","codex.cloudTaskRow.archiveTask":"काम संग्रहित करा","codex.cloudTaskRow.confirmArchiveTask":"पुष्टी करा","codex.command.feedback":"अभिप्राय","codex.command.findInThread":"शोधा","codex.command.forceReloadSkills":"कौशल्ये सक्तीने पुन्हा लोड करा","codex.command.logOut":"लॉग आउट करा","codex.command.manageTasks":"कामे व्यवस्थापित करा","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"मागे","codex.command.navigateForward":"पुढे","codex.command.newThread":"नवीन थ्रेड","codex.command.nextThread":"पुढील थ्रेड","codex.command.openFolder":"फोल्डर उघडा","codex.command.openSkills":"कौशल्यांवर जा","codex.command.openThreadOverlay":"थ्रेड पॉप आउट करा","codex.command.personalitySettings":"व्यक्तिमत्व","codex.command.previousThread":"मागील थ्रेड ","codex.command.settings":"सेटिंग्ज","codex.command.toggleDiffPanel":"डिफ पॅनल टॉगल करा","codex.command.toggleSidebar":"साइडबार टॉगल करा","codex.command.toggleTerminal":"टर्मिनल टॉगल करा","codex.commandGroup.app":"ॲप","codex.commandGroup.configure":"कॉन्फिगर करा","codex.commandGroup.navigation":"नेव्हिगेशन","codex.commandGroup.panels":"पॅनल्स","codex.commandGroup.skills":"कौशल्ये","codex.commandGroup.thread":"थ्रेड","codex.commandGroup.workspace":"प्रोजेक्ट","codex.commandMenu.noResults":"जुळणी सापडली नाही","codex.commandMenu.searchPlaceholder":"कमांड्स शोधा","codex.commandMenu.suggestedGroup":"सुचवलेले","codex.commandMenu.switchWorkspace":"प्रोजेक्ट बदला","codex.commandMenu.title":"कमांड मेनू","codex.common.retry":"पुन्हा प्रयत्न करा","codex.composer.searchBranches":"शाखांमध्ये शोधा","codex.dialog.basic.body":"Radix डायलॉगभोवती आमच्या रॅपरचा वापर केलेला हा एक साधा मोडल डायलॉग आहे.","codex.dialog.basic.cancel":"रद्द करा","codex.dialog.basic.confirm":"पुष्टी करा","codex.dialog.basic.open":"डायलॉग उघडा","codex.dialog.basic.title":"नमुना डायलॉग","codex.dialog.long.close":"बंद करा","codex.dialog.long.line":"डायलॉगमध्ये लांब काँटेंट दर्शवण्यासाठी {index} स्क्रोल करण्यायोग्य ओळ.","codex.dialog.long.open":"लांब डायलॉग उघडा","codex.dialog.long.title":"लांब काँटेंटचा डायलॉग","codex.dialog.unstyled.body":"ही स्टोरी दाखवते की संवाद काँटेंटच्या शैलीवर कॉलर्स पूर्णपणे नियंत्रण कसे ठेवू शकतात.","codex.dialog.unstyled.open":"अशैलीकृत डायलॉग उघडा","codex.dialog.unstyled.title":"अशैलीकृत काँटेंट","codex.diff.openInEditorPrompt.openButton":"एडिटरमध्ये उघडा","codex.diff.openInEditorPrompt.singleLine":"ही फाइल येथे दाखवण्यासाठी खूप मोठी आहे.","codex.diffView.failedToDecodeBase64Diff":"base64 डिफ डीकोड करण्यात अयशस्वी","codex.diffView.filesChanged":"{fileCount, plural, one {# फाइल बदलली} other {# फाइल्स बदलल्या}}","codex.diffView.imagePreviewAlt":"प्रतिमेचे पूर्वावलोकन","codex.diffView.imagePreviewEmpty":"कुठल्याही प्रतिमा नाहीत","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"डिफ डेटा नाही","codex.diffView.pdfPreview.nextPage":"पुढील पेज","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"मागील पेज","codex.diffView.pdfPreviewEmpty":"PDF पूर्वावलोकन नाही","codex.diffView.pdfPreviewError":"PDF पूर्वावलोकन रेंडर करता आले नाही","codex.diffView.richPreviewDisable":"रिच पूर्वावलोकन अक्षम करा","codex.diffView.richPreviewEnable":"रिच पूर्वावलोकन सक्षम करा","codex.diffView.richPreviewLoading":"पूर्वावलोकन लोड करत आहे…","codex.diffView.richPreviewToggle":"रिच पूर्वावलोकन टॉगल करा","codex.diffView.switchToUnified":"युनिफाइड डिफवर स्विच करा","codex.environmentSelector.noEnvironment":"पर्यावरण नाही","codex.environments.environmentSettings":"पर्यावरणाच्या सेटिंग्ज","codex.environments.learnMore":"अधिक जाणून घ्या","codex.environments.listError":"पर्यावरणे लोड करता आली नाहीत.","codex.environments.noEnvironmentsFound":"पर्यावरणे मिळाली नाहीत","codex.environments.searchError":"पर्यावरणे शोधण्यात अपयशी.","codex.errorBoundary.genericError":"अरेरे, एक त्रुटी आली","codex.errorBoundary.goHome":"पुन्हा प्रयत्न करा","codex.file.patch.missing":"या फाइलसाठी पॅच तयार करता आला नाही.","codex.gallery.automations.cwdLabel":"प्रोजेक्ट्स","codex.gallery.automations.nameLabel":"नाव","codex.gallery.automations.namePlaceholder":"कामाचा सारांश तयार करा","codex.gallery.automations.promptLabel":"प्रॉम्प्ट","codex.gallery.automations.promptPlaceholder":"कोडेक्सने काय करावे याचे वर्णन करा","codex.gallery.dialogs.automation.label":"ऑटोमेशन डायलॉग","codex.gallery.dialogs.basic.body":"सरळ-साध्या पुष्टीकरणांसाठी किंवा लहान फॉर्मसाठी हा लेआउट वापरा.","codex.gallery.dialogs.basic.cancel":"रद्द करा","codex.gallery.dialogs.basic.confirm":"पुष्टी करा","codex.gallery.dialogs.basic.label":"मूलभूत डायलॉग","codex.gallery.dialogs.basic.title":"नमुना डायलॉग","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"समस्येचे वर्णन करा","codex.gallery.dialogs.feedbackSubmission.bad":"चुकीचा परिणाम","codex.gallery.dialogs.feedbackSubmission.bug":"बग","codex.gallery.dialogs.feedbackSubmission.good":"चांगला परिणाम","codex.gallery.dialogs.feedbackSubmission.includeLogs":"सध्याच्या कोडेक्स सत्राचे लॉग्ज समाविष्ट करा","codex.gallery.dialogs.feedbackSubmission.label":"अभिप्राय सबमिट करणे","codex.gallery.dialogs.feedbackSubmission.other":"इतर","codex.gallery.dialogs.feedbackSubmission.placeholder":"समस्येचे वर्णन येथे करा","codex.gallery.dialogs.feedbackSubmission.submit":"सबमिट करा","codex.gallery.dialogs.feedbackSubmission.title":"अभिप्राय","codex.gallery.dialogs.feedbackSuccess.body":"अभिप्राय अपलोड केला. समस्या कायम राहिली, तर कृपया एक नवीन GitHub समस्या उघडा किंवा वर्तमान उघड्या समस्येमध्ये या थ्रेडचा उल्लेख करा:","codex.gallery.dialogs.feedbackSuccess.dismiss":"हे नको","codex.gallery.dialogs.feedbackSuccess.label":"अभिप्राय यश","codex.gallery.dialogs.feedbackSuccess.title":"अभिप्राय अपलोड केला","codex.gallery.dialogs.gitApplyResults.applied":"योग्यरीत्या लागू केले (2)","codex.gallery.dialogs.gitApplyResults.close":"बंद करा","codex.gallery.dialogs.gitApplyResults.conflicted":"विवादित (1)","codex.gallery.dialogs.gitApplyResults.label":"परिणाम लागू करा","codex.gallery.dialogs.gitApplyResults.title":"परिणाम लागू करा","codex.gallery.dialogs.gitPushError.body":"नवीनतम बदल पुल करा किंवा रिमोट इतिहासाला ओव्हरराइट करणे सुरक्षित आहे असे तुम्हाला माहीत असेल तर सक्तीने पुश करा.","codex.gallery.dialogs.gitPushError.cancel":"रद्द करा","codex.gallery.dialogs.gitPushError.force":"सक्तीने पुश करा","codex.gallery.dialogs.gitPushError.label":"पुश त्रुटी","codex.gallery.dialogs.gitPushError.subtitle":"तुमची शाखा मूळ/मुख्य यांच्या मागे आहे.","codex.gallery.dialogs.gitPushError.title":"बदल पुश करता आले नाहीत","codex.gallery.dialogs.gitRevert.cancel":"रद्द करा","codex.gallery.dialogs.gitRevert.confirm":"पूर्वस्थितीवर या","codex.gallery.dialogs.gitRevert.label":"बदल पूर्वस्थितीवर आणा","codex.gallery.dialogs.gitRevert.skip":"पुन्हा विचारू नका","codex.gallery.dialogs.gitRevert.subtitle":"ही कृती हे सर्व बदल काढून टाकते.","codex.gallery.dialogs.gitRevert.title":"बदल पूर्वस्थितीवर आणायचे?","codex.gallery.dialogs.longForm.label":"मोठा फॉर्म डायलॉग","codex.gallery.dialogs.proseModal.body":"ही मोडल शैली अधिक मोठ्या सूचना, ऑनबोर्डिंग किंवा रिच काँटेंट ब्लॉक्ससाठी वापरली जाते.","codex.gallery.dialogs.proseModal.close":"बंद करा","codex.gallery.dialogs.proseModal.subtitle":"येथे मोठ्या फॉर्ममधील मार्गदर्शन किंवा दस्तऐवजीकरण शेअर करा.","codex.gallery.dialogs.proseModal.title":"प्रोझ मोडल","codex.gallery.dialogs.submitBlocked.label":"सबमिशन ब्लॉक केले","codex.gallery.dialogs.submitBlocked.message":"तुमचा मेसेज पाठवला जाऊ शकला नाही कारण प्रोजेक्ट उपलब्ध नाही.","codex.gallery.dialogs.submitBlocked.ok":"ठीक आहे","codex.gallery.dialogs.submitBlocked.title":"मेसेज पाठवता आला नाही","codex.gallery.dialogs.title":"डायलॉग्स","codex.gallery.dropdown.filterPlaceholder":"फिल्टर आयटम्स","codex.gallery.dropdowns.actionRow":"क्रिया ओळी","codex.gallery.dropdowns.actionRow.disabled":"अक्षम केलेली क्रिया","codex.gallery.dropdowns.actionRow.primary":"मुख्य क्रिया","codex.gallery.dropdowns.actionRow.secondary":"दुय्यम क्रिया","codex.gallery.dropdowns.actionRow.trigger":"क्रिया दाखवा","codex.gallery.dropdowns.basic":"बेसिक ड्रॉपडाउन","codex.gallery.dropdowns.basic.newFile":"नवीन फाइल","codex.gallery.dropdowns.basic.newFolder":"नवीन फोल्डर","codex.gallery.dropdowns.basic.openSettings":"सेटिंग्ज उघडा","codex.gallery.dropdowns.basic.title":"त्वरित क्रिया","codex.gallery.dropdowns.basic.trigger":"मेनू उघडा","codex.gallery.dropdowns.basic.upload":"अपलोड करा","codex.gallery.dropdowns.panel":"पॅनल पृष्ठभाग","codex.gallery.dropdowns.panel.apply":"लागू करा","codex.gallery.dropdowns.panel.body":"डिफ्सचे पुनरावलोकन करा आणि तुमच्या प्रोजेक्टवर लागू करा.","codex.gallery.dropdowns.panel.preview":"पूर्वावलोकन","codex.gallery.dropdowns.panel.title":"बदल लागू करा","codex.gallery.dropdowns.panel.trigger":"पॅनल उघडा","codex.gallery.dropdowns.search":"शोधण्यायोग्य ड्रॉपडाउन","codex.gallery.dropdowns.search.first":"अल्फा चॅनल","codex.gallery.dropdowns.search.second":"बीटा शाखा","codex.gallery.dropdowns.search.third":"रिलीझ करता येईल","codex.gallery.dropdowns.search.trigger":"फिल्टर आयटम्स","codex.gallery.dropdowns.submenu":"सबमेनूसह ड्रॉपडाउन","codex.gallery.dropdowns.submenu.optionA":"प्रोजेक्ट अल्फा","codex.gallery.dropdowns.submenu.optionB":"प्रोजेक्ट बीटा","codex.gallery.dropdowns.submenu.optionC":"प्रोजेक्ट गामा","codex.gallery.dropdowns.submenu.primary":"मालक असाइन करा","codex.gallery.dropdowns.submenu.secondary":"येथे हलवा","codex.gallery.dropdowns.submenu.tertiary":"संग्रहित करा","codex.gallery.dropdowns.submenu.trigger":"क्रिया निवडा","codex.gallery.dropdowns.title":"ड्रॉपडाउन","codex.gallery.inbox.automations.close":"बंद करा","codex.gallery.inbox.automations.popover.cardTitle":"ऑटोमेशन्स व्यवस्थापित करा","codex.gallery.inbox.automations.popover.dialogTitle":"ऑटोमेशन्स व्यवस्थापित करा","codex.header.settingsTooltip":"सेटिंग्ज","codex.hunk.patch.error":"स्टेज करता आले नाही","codex.hunk.patch.missing":"या Hunk साठी पॅच तयार करता आला नाही.","codex.hunk.patch.partialSuccess":"अंशतः यश मिळाले","codex.hunk.patch.revertError":"अनस्टेज करता आले नाही","codex.hunk.patch.revertSuccess":"अनस्टेज केले","codex.hunk.patch.success":"स्टेज केले","codex.legal.autonomy.details":"अधिक तपशिलांसाठी {link} पहा","codex.legal.autonomy.details.link":"कोडेक्स दस्तऐवज","codex.legal.autonomy.title":"किती स्वायत्तता द्यायची ते तुम्ही ठरवा","codex.legal.backButton":"मागे","codex.legal.cloud.taskOne.meta":"openai/agi · ऑक्टोबर 12","codex.legal.cloud.taskOne.title":"नवीन डिझायनरला रिपॉझिटरी समजावून सांगा","codex.legal.cloud.taskThree.meta":"openai/codex · ऑक्टोबर 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"डार्कमोड थीम तयार करा","codex.legal.cloud.taskTwo.meta":"openai/agi · ऑक्टोबर 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ऑनबोर्डिंगमधील बग दुरुस्त करा","codex.legal.continue.apikey":"सुरू ठेवा","codex.legal.continueButton":"पुढे","codex.legal.copilot.details":"सर्व मॉडेल कॉल, बिलिंग आणि दर मर्यादांसाठी तुमचा Copilot योजना वापरते. कोडेक्स एक्सटेंशनचा वापर {oaiTos} आणि {gitHubTos} दोन्हीच्या अधीन आहे.","codex.legal.copilot.gitHubTosLink":"GitHub सेवेच्या अटी","codex.legal.copilot.oaiTosLink":"OpenAI कोडेक्स सेवेच्या अटी","codex.legal.copilot.title":"GitHub Copilot द्वारे संचालित","codex.legal.mistakes.review":"याने लिहीलेल्या कोडचे आणि चालवलेल्या कमांडचे पुनरावलोकन करा","codex.legal.mistakes.title":"कोडेक्स चुका करू शकते","codex.legal.powered.details":"तुमच्या योजनेच्या दर मर्यादा आणि {link} च्या","codex.legal.powered.details.link":"प्रशिक्षण डेटाची प्राधान्ये वापरते","codex.legal.powered.title":"तुमच्या ChatGPT खात्याद्वारे संचालित","codex.legal.step.cloud.subtitle":"पार्श्वभूमीत चालवण्यासाठी कोडेक्सला कामे पाठवा म्हणजे तुम्ही लक्ष केंद्रित करू शकाल आणि अधिक जलद कामे करू शकाल.","codex.legal.step.cloud.title":"क्लाउडमध्ये कोडेक्सला द्या","codex.legal.step.intro.subtitle":"कोडेक्स तुमच्या रिपॉझिटरीमध्ये थेट नेव्हिगेट करते, एडिट करते, कमांड चालवते आणि चाचण्या करते. तुमच्या ChatGPT खात्याद्वारे संचालित.","codex.legal.step.intro.title":"तुमच्या IDE मध्ये कोडेक्स","codex.legal.step.todo.subtitle":"एका क्लिकने TODO कॉमेंट लिहा आणि त्याचे रूपांतरण कोडेक्सच्या कामामध्ये करा.","codex.legal.step.todo.title":"TODO चे रूपांतरण कोडेक्स कामांमध्ये करा","codex.legal.todo.heading":"//TODO: स्कीमा लागू करा","codex.localConversation.closeImagePreview":"प्रतिमा पूर्वावलोकन बंद करा","codex.localConversation.userImageAttachment":"वापरकर्त्याची अटॅचमेंट","codex.localTaskRow.archiveTask":"थ्रेड संग्रहित करा","codex.localTaskRow.awaitingApproval":"मंजुरीची वाट बघत आहे","codex.localTaskRow.awaitingResponse":"प्रतिसादाची वाट बघत आहे","codex.localTaskRow.confirmArchiveTask":"पुष्टी करा","codex.loggedOut.apiKeyPrompt.cancel":"रद्द करा","codex.loggedOut.apiKeyPrompt.confirm":"ठीक आहे","codex.loggedOut.apiKeyPrompt.getKey":"API Key मिळवा","codex.loggedOut.apiKeyPrompt.inputLabel":"तुमची OpenAI API Key टाका","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API Key सह क्लाउडवरील कामे अक्षम केली आहेत","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot आणि API key सह क्लाउडवरील कामे अक्षम केली आहेत","codex.loggedOut.signIn":"ChatGPT सह साइन इन करा","codex.loggedOut.signIn.cancel":"साइन-इन रद्द करा","codex.loggedOut.signInWithCopilot":"GitHub Copilot सह साइन इन करा","codex.loggedOut.title":"कोडेक्स","codex.loggedOut.useApiKey":"API Key वापरा","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} टूल","codex.mcpTool.collapsedLabel.verb.called":"कॉल केले","codex.mcpTool.collapsedLabel.verb.calling":"कॉल करत आहे","codex.mcpTool.embeddedResource.contentLabel":"काँटेंट","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME प्रकार","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"टूलने कोणतेही काँटेंट आणले नाही","codex.mcpTool.rawPayloadHeading":"रॉ {server}.{tool} टूल कॉल पेलोड","codex.menu.recent":"अलीकडील","codex.menu.seeAllHistory":"सर्व इतिहास पहा","codex.modelCapacityBanner.headline.noReset":"{modelName} सध्या संपूर्ण क्षमतेवर आहे. नंतर पुन्हा प्रयत्न करा किंवा इतर मॉडेलसह नवीन संभाषण सुरू करा.","codex.modelCapacityBanner.headline.withReset":"{modelName} सध्या संपूर्ण क्षमतेवर आहे. {resetDate} नंतर पुन्हा प्रयत्न करा किंवा इतर मॉडेलसह नवीन संभाषण सुरू करा.","codex.modelCapacityBanner.title":"निवडलेले मॉडेल संपूर्ण क्षमतेवर आहे","codex.patch.change.contentsDeleted":"काँटेंट हटवले","codex.patch.change.created":"तयार केले","codex.patch.change.created-file":"तयार केलेली फाइल","codex.patch.change.creating":"तयार करत आहे","codex.patch.change.deleted":"हटवले","codex.patch.change.deleted-file":"हटवलेली फाइल","codex.patch.change.deleting":"हटवत आहे","codex.patch.change.edited":"एडिट केले","codex.patch.change.edited-file":"एडिट केलेली फाइल","codex.patch.change.editing":"एडिट करत आहे","codex.patch.change.noChanges":"एकही बदल नाही","codex.patch.change.rejected-add":"नाकारले","codex.patch.change.rejected-delete":"नाकारले","codex.patch.change.rejected-edit":"नाकारले","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total} पैकी {completed} कामे पूर्ण केली","codex.plan.todoListCreated":"{total} कामांसह कामांची यादी तयार केली","codex.profileDropdown.apiKeyAuth":"API Key सह लॉग इन केले","codex.profileDropdown.codexSettings":"कोडेक्स सेटिंग्ज","codex.profileDropdown.copilotAuth":"Copilot सह लॉग इन केले","codex.profileDropdown.defaultAccountTitle":"डीफॉल्ट खाते","codex.profileDropdown.enterBehavior":"मोठे प्रॉम्प्ट्स पाठवण्यासाठी {modifierSymbol} + एंटर दाबा","codex.profileDropdown.enterBehaviorError":"सेटिंग्ज अद्यतनित करण्यात अयशस्वी","codex.profileDropdown.getPlus":"अधिक मर्यादांसाठी श्रेणीसुधारित करा","codex.profileDropdown.keyboardShortcuts":"कीबोर्ड शॉर्टकट्स","codex.profileDropdown.language":"भाषा","codex.profileDropdown.languageDefault":"स्वयं-शोध","codex.profileDropdown.languageSearchPlaceholder":"भाषा शोधा","codex.profileDropdown.languageUpdateError":"भाषा अद्ययावत करता आली नाही","codex.profileDropdown.logOut":"लॉग आउट करा","codex.profileDropdown.mcp":"MCP सेटिंग्ज","codex.profileDropdown.openConfigToml":"config.toml उघडा","codex.profileDropdown.openConfigToml.wsl":"config.toml ला WSL पर्यावरणामध्ये उघडा","codex.profileDropdown.openExtensionSettings":"सेटिंग्ज उघडा","codex.profileDropdown.openMcpSettings":"MCP सेटिंग्ज उघडा","codex.profileDropdown.openOnStartup":"स्टार्टअपच्या वेळी उघडा","codex.profileDropdown.openOnStartupError":"सेटिंग्ज अद्यतनित करण्यात अयशस्वी","codex.profileDropdown.openSkillsSettings":"कौशल्य सेटिंग्ज उघडा","codex.profileDropdown.personalAccountTitle":"वैयक्तिक खाते","codex.profileDropdown.queueFollowUps":"फॉलो अप रांगेत ठेवा","codex.profileDropdown.queueFollowUpsError":"सेटिंग्ज अद्यतनित करण्यात अयशस्वी","codex.profileDropdown.readDocs":"दस्तऐवज वाचा","codex.profileDropdown.readSkillsDocs":"दस्तऐवज वाचा","codex.profileDropdown.runInWsl":"WSL मध्ये चालवा","codex.profileDropdown.runInWslError":"सेटिंग्ज अद्यतनित करण्यात अयशस्वी","codex.profileDropdown.runInWslTooltip":"कोडेक्सला WSL मध्ये चालवते. सुधारित सँडबॉक्स सुरक्षितता आणि अधिक चांगल्या कामगिरीसाठी शिफारस केलेले.","codex.profileDropdown.settings":"IDE सेटिंग्ज","codex.profileDropdown.settingsPage":"सेटिंग्ज","codex.profileDropdown.signInWithOpenAI":"ChatGPT सह साइन इन करा","codex.profileDropdown.skills":"कौशल्य सेटिंग्ज","codex.profileDropdown.switchToCopilotAccount":"Copilot खाते वापरा","codex.profileDropdown.switchToOpenAIAccount":"OpenAI खाते वापरा","codex.profileDropdown.todoCodelens":"TODO कॉमेंट्स दुरुस्त करा","codex.profileDropdown.todoCodelensError":"सेटिंग्ज अद्यतनित करण्यात अयशस्वी","codex.profileDropdown.windowsDocumentation":"Windows दस्तऐवज","codex.profileFooter.signedInFallback":"सेटिंग्ज","codex.profileFooter.upgrade":"श्रेणीसुधारित करा","codex.recentTasksMenu.clearSearch":"शोध साफ करा","codex.recentTasksMenu.cloud":"क्लाउडवरील कामे","codex.recentTasksMenu.count":"{count, plural, =0 {कुठलीही कामे सुरू नाहीत} one {# काम सुरू आहे} other {# कामे सुरू आहेत}}","codex.recentTasksMenu.empty":"अद्याप कोणतेही थ्रेड नाहीत","codex.recentTasksMenu.errorCloud":"कामे लोड करण्यात अपयशी.","codex.recentTasksMenu.errorCloud.inline":"क्लाउडवरील कामे लोड करण्यात अपयशी.","codex.recentTasksMenu.filterAll":"सर्व","codex.recentTasksMenu.filterCloudTasks":"क्लाउडवरील कामे फिल्टर करा","codex.recentTasksMenu.filterTooltip":"पर्यावरणानुसार कामे फिल्टर करा","codex.recentTasksMenu.local":"स्थानिक कामे","codex.recentTasksMenu.recent":"सर्व कामे","codex.recentTasksMenu.search":"अलीकडील कामे शोधा","codex.recentTasksMenu.searchEmpty":"कोणताही परिणाम नाही","codex.recentTasksMenu.tooltip":"कामाचा इतिहास","codex.recentTasksMenu.trigger":"अलीकडील कामे. {count, plural, one {# सुरू आहे} other {# सुरू आहेत}}","codex.remoteConversation.applyDiff.applyCta":"बदल लागू करा","codex.remoteConversation.applyDiff.dropdownTitle":"स्थानिक शाखेसाठी बदल लागू करा","codex.remoteConversation.applyDiff.revertCta":"बदल पूर्वस्थितीवर आणा","codex.remoteConversation.closeImagePreview":"प्रतिमा पूर्वावलोकन बंद करा","codex.remoteConversation.codexCloudTask":"तुम्ही <u>कोडेक्स क्लाउड</u> वरील काम पाहत आहात","codex.remoteConversation.errorWithMessage":"त्रुटी: {message}","codex.remoteConversation.loadingImage":"प्रतिमा लोड करत आहे","codex.remoteConversation.openInWeb":"वेबवर उघडा","codex.remoteConversation.streaming":"सुरू करत आहे","codex.remoteConversation.turnFailed":"या कामाच्या दरम्यान एक त्रुटी आली","codex.remoteConversation.turnTab.loading":"प्रयत्न {number}","codex.remoteConversation.turnTab.title":"प्रयत्न {number}","codex.remoteConversation.userImageAttachment":"वापरकर्त्याची अटॅचमेंट","codex.remoteConversation.viewPreviousTurns":"वेबवर उघडा","codex.remoteConversation.viewPreviousTurns.buttonText":"उघडा","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"वेबवर उघडा","codex.review.copyGitApplyCommand":"git अप्लाय कमांड कॉपी करा","codex.review.copyGitApplyCommand.toast":"git अप्लाय कमांड क्लिपबोर्डवर कॉपी केली","codex.review.diffTooLarge.description":"पुनरावलोकनात दाखवण्यासाठी हे डिफ खूप मोठे आहे.","codex.review.diffTooLarge.title":"दाखवण्यासाठी डिफ खूप मोठे आहे","codex.review.expandOrCollapseDiffButton.collapse":"सर्व डिफ्स लहान करा","codex.review.expandOrCollapseDiffButton.expand":"सर्व डिफ्स मोठे करा","codex.review.expandOrCollapseDiffMenu.collapse":"सर्व डिफ्स लहान करा","codex.review.expandOrCollapseDiffMenu.expand":"सर्व डिफ्स मोठे करा","codex.review.fileSearch.clear":"फाइल फिल्टर साफ करा","codex.review.fileSearch.empty":"कोणत्याही फाइल्स सध्याच्या फिल्टरशी जुळत नाहीत.","codex.review.fileSearch.label":"फाइल्स फिल्टर करा","codex.review.fileSearch.placeholder":"फाइल्स फिल्टर करा...","codex.review.filesChanged":"{num, plural, =0 {एकही फाइल बदलली नाही} one {# फाइल बदलली} other {# फाइल्स बदलल्या}}","codex.review.find.loadMore":"अधिक जुळण्या लोड करा","codex.review.fullReview.hideFileTree":"फाइल ट्री लपवा","codex.review.fullReview.showFileTree":"फाइल ट्री दाखवा","codex.review.header.moreOptions":"पुनरावलोकनाचे पर्याय","codex.review.largeDiff.banner":"मोठा फरक आढळला - एका वेळी एक फाइल दाखवत आहे.","codex.review.loadFullFiles.disable":"संपूर्ण फाइल्स लोड करू नका","codex.review.loadFullFiles.enable":"संपूर्ण फाइल्स लोड करा","codex.review.noDiff":"फाइलचे बदल येथे दिसतील","codex.review.noDiff.gitInit.createRepository":"Git रिपॉझिटरी तयार करा","codex.review.noDiff.gitInit.creating":"तयार करत आहे…","codex.review.noDiff.gitInit.error":"Git इनिशियलायझेशन अयशस्वी झाले: {message}","codex.review.noDiff.gitInit.success":"Git रिपॉझिटरी तयार केली","codex.review.noDiff.gitRepoRequired.description":"या प्रोजेक्टमध्ये बदल ट्रॅक करा आणि पूर्ववत करा","codex.review.noDiff.gitRepoRequired.title":"एक Git रिपॉझिटरी तयार करा","codex.review.noDiff.orNoLongerAvailable":"किंवा नवीनतम डिफ आता उपलब्ध नाहीत","codex.review.noDiff.reverted":"शेवटची पाळी पूर्वस्थितीवर आणली आहे","codex.review.noDiff.revertedOrCommitted":"शेवटची पाळी एकतर पूर्वस्थितीवर आणली आहे किंवा कमिट झाली आहे","codex.review.refreshGitQueries":"रिफ्रेश करा","codex.review.revert.file.error":"{path} पूर्वस्थितीवर आणता आले नाही","codex.review.revert.file.partialSuccess":"{path} अंशतः पूर्वस्थितीवर आणले","codex.review.revert.file.success":"{path} पूर्वस्थितीवर आणले","codex.review.revert.hunk.error":"{path} मध्ये {hunkNumber} Hunk पूर्वस्थितीवर आणता आले नाही","codex.review.revert.hunk.partialSuccess":"{path} मध्ये {hunkNumber} Hunk अंशतः पूर्वस्थितीवर आणले","codex.review.revert.hunk.success":"{path} मध्ये {hunkNumber} Hunk पूर्वस्थितीवर आणले","codex.review.revert.section.error":"विभाग पूर्वस्थितीवर आणता आला नाही","codex.review.revert.section.partialSuccess":"विभाग अंशतः पूर्वस्थितीवर आणला","codex.review.revert.section.success":"विभाग पूर्वस्थितीवर आणला","codex.review.revertDialog.cancel":"रद्द करा","codex.review.revertDialog.confirm":"पुष्टी करा","codex.review.revertDialog.message":"ही कृती हे सर्व बदल काढून टाकते.","codex.review.revertDialog.skip":"पुन्हा विचारू नका","codex.review.revertDialog.title":"बदल पूर्वस्थितीवर आणायचे?","codex.review.richPreview.disable":"रिच पूर्वावलोकन अक्षम करा","codex.review.richPreview.enable":"रिच पूर्वावलोकन सक्षम करा","codex.review.source.cloud":"क्लाउडमधील बदल","codex.review.source.local.all":"शाखेतील सर्व बदल","codex.review.source.local.lastTurn":"शेवटल्या पाळीतील बदल","codex.review.source.local.uncommitted":"कमिट न केलेले बदल","codex.review.source.worktree":"कमिट न केलेले वर्कट्रीमधील बदल","codex.review.stageFilter.empty.staged.description":"स्टेज करण्यासाठी एडिट्स स्वीकारा","codex.review.stageFilter.empty.staged.title":"कोणतेही स्टेज केलेले बदल नाहीत","codex.review.stageFilter.empty.unstaged.description":"कोडमधील बदल येथे दिसतील","codex.review.stageFilter.empty.unstaged.title":"कोणतेही अनस्टेज केलेले बदल नाहीत","codex.review.stageFilter.staged":"स्टेज केलेले","codex.review.stageFilter.staged.count":"स्टेज केलेले · {count}","codex.review.stageFilter.unstaged":"स्टेज न केलेले","codex.review.stageFilter.unstaged.count":"स्टेज न केलेले · {count}","codex.review.switchToSplit":"स्प्लिट डिफ वर स्विच करा","codex.review.switchToUnified":"युनिफाइड डिफवर स्विच करा","codex.review.toggleDiffView":"डिफ दृश्य टॉगल करा","codex.review.wordDiffs.disable":"वर्ड डिफ अक्षम करा","codex.review.wordDiffs.enable":"वर्ड डिफ सक्षम करा","codex.review.wrap.disable":"वर्ड रॅप अक्षम करा","codex.review.wrap.enable":"वर्ड रॅप सक्षम करा","codex.section.patch.missing":"या विभागासाठी पॅच तयार करता आला नाही.","codex.shell.collapse":"शेल लहान करा","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"शेलचे काँटेंट कॉपी केले","codex.shell.copy.copyTooltip":"शेलचे काँटेंट कॉपी करा","codex.shell.copyCommand":"कमांड कॉपी करा","codex.shell.copyOutput":"आउटपुट कॉपी करा","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"बॅश","codex.shell.expand":"शेल मोठे करा","codex.shell.name":"शेल","codex.shell.noOutput":"आउटपुट नाही","codex.signInFailed.message":"साइन इन अयशस्वी झाले: {rawMessage}","codex.stories.toast.show":"टोस्ट दाखवा","codex.stories.tooltip.basic":"हे टूलटिप आहे","codex.stories.tooltip.hoverMe":"माझ्यावर माउस आणा","codex.stories.tooltip.largerOffset":"या टूलटिपमध्ये अधिक मोठा ऑफसेट आहे","codex.stories.tooltip.offsetButton":"अधिक मोठा ऑफसेट","codex.stories.tooltip.shortcutButton":"शॉर्टकटसह","codex.stories.tooltip.withShortcut":"टर्मिनल टॉगल करा","codex.taskRow.title":"नवीन थ्रेड","codex.taskRowLayout.confirm":"पुष्टी करा","codex.threadFindBar.chatFilter":"चॅट शोधा","codex.threadFindBar.close":"शोधणे बंद करा","codex.threadFindBar.diffFilter":"डिफ शोधा","codex.threadFindBar.label":"थ्रेडमध्ये शोधा","codex.threadFindBar.nextResult":"पुढील परिणाम","codex.threadFindBar.noResults":"0 परिणाम","codex.threadFindBar.placeholder":"थ्रेड शोधा…","codex.threadFindBar.placeholder.extension":"थ्रेड शोधा…","codex.threadFindBar.placeholder.review":"फरक शोधा...","codex.threadFindBar.placeholder.review.extension":"फरक शोधा...","codex.threadFindBar.previousResult":"मागील परिणाम","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# फाइल बदलली} other {# फाइल्स बदलल्या}}","codex.unifiedDiff.inlineLargeFile":"इनलाइन रेंडर करण्यासाठी खूप मोठे आहे","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"पूर्ववत करा","codex.unifiedDiff.revertPatchError":"बदल पूर्वस्थितीवर आणण्यात अपयशी","codex.unifiedDiff.revertPatchSuccess":"बदल पूर्वस्थितीवर आणले","codex.unifiedDiff.reviewChangesSuffix":"बदल","codex.unifiedDiff.reviewShort":"पुनरावलोकन","codex.unifiedDiff.viewDiffTooltip":"पुनरावलोकन","codex.upsellBanner.business.headline":"आता अधिक प्रवेश मिळवण्यासाठी तुमच्या ॲडमिनला विनंती पाठवा किंवा {resetDate} पर्यंत वाट बघा.","codex.upsellBanner.cbp.headline":"आता अधिक प्रवेश मिळवण्यासाठी तुमच्या प्रशासकांना विनंती पाठवा.","codex.upsellBanner.cta.addCredits":"क्रेडिट्स जोडा","codex.upsellBanner.cta.upgradeAccount":"श्रेणीसुधारित करा","codex.upsellBanner.cta.viewUsage":"वापर पहा","codex.upsellBanner.free.trialHeadline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते. कोडेक्स वापरणे सुरू ठेवण्यासाठी आणि GPT-5.3-कोडेक्स मध्ये प्रवेश मिळवण्यासाठी आजच तुमचे Plus चे विनामूल्य ट्रायल सुरू करा.","codex.upsellBanner.freeOrGo.headline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते. कोडेक्स वापरणे सुरू ठेवण्यासाठी, आजच Plus वर अपग्रेड करा.","codex.upsellBanner.general.headline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते.","codex.upsellBanner.general.title":"तुमचे कोडेक्स मेसेज संपले आहेत","codex.upsellBanner.go.trialHeadline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते. कोडेक्स वापरणे सुरू ठेवण्यासाठी आजच तुमचे Plus चे विनामूल्य ट्रायल सुरू करा.","codex.upsellBanner.plus.headline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते. कोडेक्स वापरणे सुरू ठेवण्यासाठी, आजच क्रेडिट्स जोडा किंवा प्रो वर अपग्रेड करा.","codex.upsellBanner.pro.headline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते. आता कोडेक्स वापरणे सुरू ठेवण्यासाठी क्रेडिट जोडा.","codex.userMessage.autoResolveSync":"संघर्ष आपोआप सोडवा","codex.userMessage.commentCount":"{count, plural, one {# कॉमेंट} other {# कॉमेंट्स}}","codex.userMessage.copiedAriaLabel":"कॉपी केले","codex.userMessage.copiedTooltip":"कॉपी केले","codex.userMessage.copyAriaLabel":"मेसेज कॉपी करा","codex.userMessage.copyTooltip":"कॉपी करा","codex.userMessage.implementPlan":"योजनेची अंमलबजावणी करा","codex.userMessage.noContent":"(काँटेंट नाही)","codex.userMessage.priorConversation":"पूर्वीच्या संभाषणाचा संदर्भ घेते","codex.userMessage.reviewMode":"पुनरावलोकन मोड","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} यासाठी","codex.webSearch.summary.verb.completed":"वेबवर शोधले","codex.webSearch.summary.verb.inProgress":"बेबवर शोधत आहे","codex.windowsInstallWslBanner.dismiss":"हे नको","codex.windowsInstallWslBanner.installWslCta":"सँडबॉक्स सक्षम करा","codex.windowsInstallWslBanner.learnMore":"अधिक जाणून घ्या","codex.windowsSandboxBanner.content":"एजंट मोड फाइलसिस्टम आणि नेटवर्क प्रवेश मर्यादित करण्यासाठी Windows वर प्रायोगिक सँडबॉक्स वापरते. {sandboxLink}","codex.windowsSandboxBanner.title":"एजंट मोडसाठी सँडबॉक्स सक्षम करा","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows सेटिंग्ज","codexUpgradeModal.body":"आमचे नवीनतम सर्वात पुढारलेले एजेंटिक कोडिंग मॉडेल — अधिक स्मार्ट, जलद आणि सामान्य तांत्रिक कामांमध्ये अधिक सक्षम. {link}","codexUpgradeModal.close":"बंद करा","codexUpgradeModal.image.altText":"GPT-5.3-कोडेक्स","codexUpgradeModal.smarterAndFaster":"अधिक जाणून घ्या","codexUpgradeModal.title":"सादर करत आहे GPT-5.3-कोडेक्स","codexUpgradeModal.tryNewModel":"आता GPT-5.3-कोडेक्स वापरून पहा","codexUpgradeModal.useExistingModel":"सध्याच्या मॉडेलसह सुरू ठेवा","commentAttachments.numComments":"{count, plural, one {# कॉमेंट} other {# कॉमेंट्स}}","commentAttachments.removeAriaLabel":"कॉमेंट्समधील अटॅचमेंट काढून टाका","common.close":"बंद करा","composer.addContext.openFilePickerError":"फाइल पिकर उघडता आले नाही","composer.addContextDropdown.ariaLabel":"फाइल्स जोडा आणि इतर अनेक गोष्टी करा","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"फाइल्स जोडा आणि इतर अनेक गोष्टी करा","composer.addPhotosAndFiles":"फोटो आणि फाइल्स जोडा","composer.atMentionList.emptyQuery":"फाइल्स शोधण्यासाठी टाइप करा","composer.atMentionList.loading":"शोधत आहे…","composer.atMentionList.noResults":"कोणतेही परिणाम नाहीत","composer.attemptsSelector.option":"{count, plural, one {# आवृत्ती} other {# आवृत्त्या}}","composer.attemptsSelector.tooltip":"कोडेक्सने करण्याच्या एकाच वेळच्या प्रयत्नांची संख्या","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"थांबा","composer.cloudFollowUp.cloud":"क्लाउड","composer.cloudFollowUp.local":"स्थानिक","composer.cloudFollowUp.whereRun":"हे फॉलो-अप कुठे चालवावे?","composer.cloudTaskCreationError":"क्लाउडवरील काम तयार करताना त्रुटी","composer.cloudTaskError":"काम तयार करताना त्रुटी","composer.contextWindow.autoCompactionTooltipLine1":"कोडेक्स त्याचा संदर्भ आपोआप संक्षिप्त करते","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"संदर्भ विंडो:","composer.contextWindowUsageStatusFull":"{usage}% भरले आहे","composer.contextWindowUsageStatusLeft":"{usage}% वापरले ({remaining}% उरले)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k टोकन्स वापरली","composer.customCliTooltip":"सानुकूल CLI एक्झिक्यूटेबल वापरून","composer.dictation.aria":"डिक्टेट करा","composer.dictation.cancel.aria":"श्रुतलेखन थांबवा","composer.dictation.cancel.tooltip":"श्रुतलेखन थांबवा","composer.dictation.startError":"डिक्टेशन सुरू करता आले नाही","composer.dictation.submit.aria":"ट्रान्सक्राइब करा आणि पाठवा","composer.dictation.submit.tooltip":"ट्रान्सक्राइब करा आणि पाठवा","composer.dictation.tooltip":"डिक्टेट करण्यासाठी धरून ठेवा","composer.dictation.transcribeError":"ऑडिओ ट्रान्सक्राइब करता आला नाही","composer.dictation.unsupported":"या डिव्हाइसवर डिक्टेशन उपलब्ध नाही","composer.dropOverlay.holdShift":"ड्रॉप करण्यासाठी {key} धरून ठेवा","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"नवीन तयार करा","composer.environmentSelector.error":"पर्यावरण लोड करताना त्रुटी आली","composer.environmentSelector.goBack":"कंपोझरकडे परत जा","composer.environmentSelector.title":"पर्यावरण निवडा","composer.environmentSelector.tooltip":"क्लाउड पर्यावरण निवडा","composer.feedbackSlashCommand.title":"अभिप्राय","composer.filePicker.selectFile":"एक फाइल निवडा","composer.filePicker.selectFiles":"फाइल्स निवडा","composer.followerTooltip":"पुढे जाण्यासाठी, ज्या विंडोमध्ये हे संभाषण सुरू झाले त्यावर परत जा.","composer.footer.branchSwitch.checkoutError":"शाखा बदलता आली नाही: {message}","composer.footer.branchSwitch.createAndCheckout":"नवीन शाखा तयार करून चेकआउट करा…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"नवीन शाखा तयार करून चेकआउट करण्यासाठी बदल कमिट करा","composer.footer.branchSwitch.createBranchError":"शाखा तयार करता आली नाही: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"शाखेचे नाव","composer.footer.branchSwitch.createDialog.branchExistsError":"ही शाखा आधीच अस्तित्वात आहे.","composer.footer.branchSwitch.createDialog.close":"बंद करा","composer.footer.branchSwitch.createDialog.createAndCheckout":"तयार करून चेकआउट करा","composer.footer.branchSwitch.createDialog.placeholder":"नवीन-शाखा","composer.footer.branchSwitch.createDialog.title":"शाखा तयार करून चेकआउट करा","composer.footer.branchSwitch.createDialog.trailingSlashError":"शाखेच्या नावाच्या शेवटी “/” असू शकत नाही.","composer.footer.branchSwitch.tooltip":"शाखा बदला","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} चेक आउट करण्यासाठी {fileCount, plural, one {# फाइल} other {# फाइल्स}} मध्ये बदल कमिट करा.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"कमिट","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} चेक आउट करण्यासाठी {fileCount, plural, one {# फाइल} other {# फाइल्स}} मध्ये बदल.","composer.footer.branchSwitch.uncommittedDialog.cancel":"रद्द करा","composer.footer.branchSwitch.uncommittedDialog.commit":"ब्रांच कमिट करा आणि स्विच करा...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"खालील फाइल्ससाठी तुमचे बदल चेकआउटद्वारे ओव्हरराइट केले जातील:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"चालू ठेवण्यासाठी कृपया तुमचे बदल कमिट करा","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"निवडलेली ब्रांच","composer.footer.branchSwitch.uncommittedDialog.title":"स्विच ब्रांचमध्ये बदल करा","composer.footer.branchSwitch.uncommittedSummaryPrefix":"कमिट न केलेले: {fileCount, plural, one {# फाइल} other {# फाइल्स}}","composer.forkSlashCommand.description":"स्थानिक किंवा एका नवीन वर्कट्रीमध्ये हा थ्रेड फोर्क करा","composer.forkSlashCommand.option.local.description":"नवीन स्थानिक थ्रेडमध्ये सुरू ठेवा","composer.forkSlashCommand.option.local.title":"स्थानिकमध्ये फोर्क करा","composer.forkSlashCommand.option.worktree.description":"नवीन वर्कट्रीमध्ये सुरू ठेवा","composer.forkSlashCommand.option.worktree.title":"नवीन वर्कट्रीमध्ये फोर्क करा","composer.forkSlashCommand.title":"फोर्क करा","composer.ideContextIndicator":"IDE संदर्भ","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE मधून संदर्भ समाविष्ट करा","composer.ideContextIndicator.tooltipToggle":"टॉगल करण्यासाठी","composer.ideContextSlashCommand.disableDescription":"IDE संदर्भ बंद करा","composer.ideContextSlashCommand.enableDescription":"तुमची सध्याची निवड, उघडलेल्या फाइल्स आणि तुमच्या IDE मधील इतर संदर्भ समाविष्ट करा","composer.ideContextSlashCommand.title":"IDE संदर्भ","composer.imageInputsUnsupported":"हे मॉडेल प्रतिमा इनपुटला सपोर्ट करत नाही. इतर मॉडेल वापरून पहा.","composer.imageUploadFailed":"प्रतिमा अपलोड करण्यात अपयशी","composer.includeIdeContextDropdown":"IDE संदर्भ समाविष्ट करा","composer.includeIdeContextDropdown.ariaLabel":"IDE संदर्भ समाविष्ट करा","composer.localCwdDropdown.addWorkspaceRoot":"नवीन प्रोजेक्ट जोडा","composer.localCwdDropdown.noActiveRoot":"तुमचा प्रोजेक्ट निवडा","composer.localCwdDropdown.noResults":"फोल्डर्स सापडले नाहीत","composer.localCwdDropdown.title":"तुमचा प्रोजेक्ट निवडा","composer.localTaskError":"संभाषण सुरू करताना त्रुटी आली","composer.mcpSlashCommand.description":"MCP सर्व्हर स्थिती दाखवा","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"प्रमाणित केलेले नाही","composer.mcpStatus.authOauth":"प्रमाणित केले (OAuth)","composer.mcpStatus.authToken":"प्रमाणित केले (API Key)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"बंद करा","composer.mcpStatus.disabled":"अक्षम केले","composer.mcpStatus.emptyLabel":"सर्व्हर्स:","composer.mcpStatus.emptyValue":"कोणतेही MCP सर्व्हर कॉन्फिगर केलेले नाहीत","composer.mcpStatus.enabled":"सक्षम केले","composer.mcpStatus.errorLabel":"स्टेटस:","composer.mcpStatus.errorValue":"MCP स्टेटस लोड करणे शक्य नाही","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"एजंट","composer.mode.agentMode.auto.dropdownLabel":"एजंट","composer.mode.agentMode.auto.optionLabel":"एजंट","composer.mode.agentMode.changePermission":"मोड स्विच करा","composer.mode.agentMode.custom":"कस्टम","composer.mode.agentMode.custom.dropdownLabel":"कस्टम","composer.mode.agentMode.custom.option":"कस्टम (config.toml)","composer.mode.agentMode.custom.optionLabel":"कस्टम (config.toml)","composer.mode.agentMode.customInfo.cancel":"रद्द करा","composer.mode.agentMode.customInfo.cli":"तुम्ही त्या सेटिंग्ज CLI मधून किंवा थेट फाइल एडिट करून बदलू शकता.","composer.mode.agentMode.customInfo.confirm":"कस्टम मोड वापरा","composer.mode.agentMode.customInfo.description":"कस्टम मोड तुमच्या खालीलमध्ये सेट केलेल्या मंजुरी आणि सँडबॉक्स धोरणांसाठी लागू होतो <link>config.toml</link> फाइल.","composer.mode.agentMode.customInfo.docs":"पर्यावरण दस्तऐवज अंमलबजावणीमध्ये मंजुरी आणि सँडबॉक्स धोरणे कॉन्फिगर करण्याबद्दल <link>अधिक जाणून घ्या</link>.","composer.mode.agentMode.customInfo.refresh":"सर्व बदल पुढील वेळी एजंट चालवल्यावर प्रभावी होतील.","composer.mode.agentMode.customInfo.title":"कस्टम मोड कसे काम करतो","composer.mode.agentMode.fullAccess":"एजंट (संपूर्ण प्रवेश)","composer.mode.agentMode.fullAccess.dropdownLabel":"एजंट (संपूर्ण प्रवेश)","composer.mode.agentMode.fullAccess.optionLabel":"एजंट (संपूर्ण प्रवेश)","composer.mode.agentMode.fullAccessConfirm.caution":"संपूर्ण प्रवेश सक्षम करताना सावधगिरी बाळगा. यामुळे डेटा गमावण्याचा, गळती होण्याचा किंवा अनपेक्षित वर्तनाचा धोका लक्षणीयरीत्या वाढतो.","composer.mode.agentMode.fullAccessConfirm.confirm":"हो, तरीही सुरू ठेवा","composer.mode.agentMode.fullAccessConfirm.description":"जेव्हा कोडेक्स पूर्ण प्रवेशासह चालते, तेव्हा ते तुमच्या कॉम्प्युटरवरील कोणतीही फाइल एडिट करू शकते आणि तुमच्या परवानगीशिवाय नेटवर्कवर कमांड चालवू शकते.","composer.mode.agentMode.fullAccessConfirm.goBack":"रद्द करा","composer.mode.agentMode.fullAccessConfirm.title":"संपूर्ण प्रवेश सक्षम करायचा?","composer.mode.agentMode.readOnly":"चॅट","composer.mode.agentMode.readOnly.dropdownLabel":"चॅट","composer.mode.agentMode.readOnly.optionLabel":"चॅट","composer.mode.agentMode.tooltip":"मोड स्विच करा","composer.mode.agentMode.tooltip.auto":"फाइल्स वाचा आणि एडिट करा आणि कमांड चालवा.","composer.mode.agentMode.tooltip.custom":"config.toml मध्ये सेट केलेली नवीनतम मंजुरी आणि सँडबॉक्स धोरणे वापरा.","composer.mode.agentMode.tooltip.fullAccess":"नेटवर्क प्रवेशासह कोडेक्स प्रोजेक्टच्या बाहेर फाइल्स एडिट करू शकते आणि कमांड चालवू शकते. वापरताना काळजी घ्या.","composer.mode.agentMode.tooltip.readOnly":"फाइल्स एडिट करण्यासाठी आणि कमांड चालविण्यासाठी मंजुरीची गरज लागते.","composer.mode.cloud.tooltip":"क्लाउड पर्यावरणात काम करा","composer.mode.contactAdmin":"अधिक प्रवेश मिळवण्यासाठी, तुमच्या ॲडमिनसोबत संपर्क साधा","composer.mode.local":"स्थानिक","composer.mode.local.learnMore":"अधिक जाणून घ्या","composer.mode.local.model.custom":"कस्टम","composer.mode.local.model.loadingModel":"मॉडेल लोड करत आहे","composer.mode.local.model.selecrReasoningEffort":"तर्कशक्ती निवडा","composer.mode.local.model.selectModel":"मॉडेल निवडा","composer.mode.local.model.tooltip":"मॉडेल निवडा","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"उच्च","composer.mode.local.reasoning.low.label":"कमी","composer.mode.local.reasoning.medium.label":"मध्यम","composer.mode.local.reasoning.minimal.label":"सर्वात कमी","composer.mode.local.reasoning.none.label":"काहीही नाही","composer.mode.local.reasoning.xhigh.label":"खूप उच्च","composer.mode.localRemoteWhereRun":"काम कुठे चालवायचे ते निवडा","composer.mode.newTask.header":"मध्ये सुरू ठेवा","composer.mode.rateLimit.day":"{days}दि","composer.mode.rateLimit.heading":"दराच्या मर्यादा शिल्लक आहेत","composer.mode.rateLimit.hour":"{hours}ता","composer.mode.rateLimit.minute":"{minutes}मि","composer.mode.rateLimit.modelSectionLabel":"{modelName} मर्यादा:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {आठवड्याची मर्यादा} other {{weeks} आठवड्यांची मर्यादा}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {साप्ताहिक} other {{weeks} आठवडे}}","composer.mode.remote.connectToCloud":"कोडेक्स वेबसोबत कनेक्ट करा","composer.mode.remote.connectToCloudDisabledTooltip":"क्लाउडवर कामे पाठवणे सक्षम करण्यासाठी कोडेक्स वेबवरून पर्यावरण सेट अप करा","composer.mode.remote.selectEnvironment":"पर्यावरण निवडा","composer.mode.remote.sendToCloud":"क्लाउडवर पाठवा","composer.mode.remote.setupViaWeb":"कोडेक्स वेबद्वारे पर्यावरण सेट अप करा","composer.mode.runInCloud":"क्लाउड","composer.mode.runInCloudWithEnvironment":"क्लाउड · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"क्लाउड पर्यावरणात काम करा","composer.mode.segmentedToggle.local.tooltip":"तुमच्या स्थानिक प्रोजेक्टमध्ये काम करा","composer.mode.segmentedToggle.worktree.tooltip":"समांतर वर्कट्रीमध्ये काम करा","composer.mode.upgradeToPlus":"Plus वर श्रेणीसुधारित करा","composer.mode.upgradeToPro":"Pro वर श्रेणीसुधारित करा","composer.mode.workLocally":"स्थानिक प्रोजेक्ट","composer.mode.workLocally.currentBranchFallback":"तुमची शाखा","composer.mode.workLocally.tooltip":"{branchName} मध्ये काम करा","composer.mode.worktree":"नवीन वर्कट्री","composer.mode.worktree.submoduleWarning":"या रेपोमध्ये गिट सबमॉड्यूल आहेत. वर्कट्री निर्मिती अयशस्वी होऊ शकते","composer.mode.worktree.tooltip":"एकाच वेळी काम करण्यासाठी तुमच्या स्थानिक प्रोजेक्टची एक प्रत तयार करा","composer.mode.worktreeSegment":"वर्कट्री","composer.modelChangeDuringConversationWarning.toast":"संभाषणाच्या दरम्यान मॉडेल बदलल्याने कामगिरी खराब होईल.","composer.newChat.heading.browser":"आता आपण कसले कोडिंग करूया?","composer.permissionsDropdown.agentMode.tooltip.custom":"कोडेक्स config.toml मध्ये दिलेली परवानगी वापरते.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"कोडेक्सला तुमच्या कॉम्प्यूटरमध्ये संपूर्ण प्रवेश आहे (वाढलेला धोका)","composer.permissionsDropdown.custom.label":"कस्टम (config.toml)","composer.permissionsDropdown.custom.optionLabel":"कस्टम (config.toml)","composer.permissionsDropdown.default.label":"डीफॉल्ट परवानगी","composer.permissionsDropdown.default.optionLabel":"डीफॉल्ट परवानगी","composer.permissionsDropdown.default.tooltip":"कोडेक्स सँडबॉक्समध्ये आपोआप कमांड्स चालवते","composer.permissionsDropdown.disabled.requirements":"परवानग्या requirements.toml द्वारे लॉक केलेल्या आहेत","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml द्वारे संपूर्ण प्रवेश अक्षम केला आहे","composer.permissionsDropdown.fullAccess.label":"पूर्ण प्रवेश","composer.permissionsDropdown.fullAccess.optionLabel":"पूर्ण प्रवेश","composer.permissionsDropdown.trigger.tooltip":"बदलाच्या परवानग्या","composer.personalitySlashCommand.description.friendly":"प्रेमळ, सहयोगी आणि उपयुक्त","composer.personalitySlashCommand.description.pragmatic":"संक्षिप्त, कामांवर केंद्रित आणि थेट","composer.personalitySlashCommand.label.friendly":"मैत्रीपूर्ण","composer.personalitySlashCommand.label.pragmatic":"व्यावहारिक","composer.personalitySlashCommand.notApplicableSuffix":"(सध्याच्या मॉडेलला लागू होत नाही)","composer.personalitySlashCommand.title":"व्यक्तिमत्व","composer.placeholder.cloudFollowUp.directFollowUp":"या क्लाउड कामाचा फॉलोअप","composer.placeholder.cloudFollowUp.local":"या क्लाउड कामाचा संदर्भ देणारे एक नवीन स्थानिक काम तयार करा","composer.placeholder.cloudFollowUp.workingTree":"तुमचा सध्याचा कोड समाविष्ट असलेले आणि या कामाचा संदर्भ देणारे एक नवीन क्लाउड काम तयार करा","composer.placeholder.localFollowUp.cloud":"नवीन क्लाउड कामामध्ये फॉलो अप","composer.placeholder.localFollowUp.locally":"फॉलो अप बदलांसाठी विचारा","composer.placeholder.newTask.cloud":"कोडेक्सला क्लाउडमध्ये काहीही करण्यास सांगा","composer.placeholder.newTask.doAnything":"कोडेक्सला काहीही करण्यास सांगा","composer.placeholder.newTask.locally":"Codex ला काहीही विचारा, फाइल्स जोडण्यासाठी @, कमांडसाठी /","composer.planModeDropdown":"योजना मोड","composer.planModeDropdown.ariaLabel":"योजना मोड","composer.planModeIndicator":"योजना","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"कोडेक्ससह एक योजना तयार करा","composer.planModeIndicator.tooltipToggle":"टॉगल करण्यासाठी","composer.planSlashCommand.disableDescription":"योजना मोड बंद करा","composer.planSlashCommand.enableDescription":"योजना मोड चालू करा","composer.planSlashCommand.title":"योजना मोड","composer.priorContext.label":"मागील संदर्भ","composer.priorContext.removeAriaLabel":"मागील संदर्भ काढून टाका","composer.queuedMessage.delete":"रांगेतील मेसेज हटवा","composer.queuedMessage.edit":"संदेश संपादित करा","composer.queuedMessage.more":"रांगेतील मेसेजसंबंधी क्रिया","composer.queuedMessage.sendNow":"स्टीअर करा","composer.queuedMessage.sendNowTooltip":"कामात व्यत्यय न आणता लगेच पाठवा","composer.queuedMessage.turnOff":"रांग लावणे बंद करा","composer.reasoningEffort.local.reasoning.tooltip":"तर्क करण्याचा प्रयत्न निवडा","composer.remote.branchStartingPoint":"हे काम कोणत्या शाखेपासून सुरू झाले पाहिजे?","composer.remote.branchesSectionHeading":"शाखा","composer.remote.currentEditsSuffix.followUp":"या क्लाउड कामाचा संदर्भ देणारे एक नवीन काम तयार करा.","composer.remote.currentEditsSuffix.useLocal":"स्थानिक कोड बदलांसह","composer.remote.directFollowUp":"स्थानिक बदल वापरू नका","composer.remote.errorLoadingBranches":"शाखा लोड करताना त्रुटी","composer.remote.fromBranch":"{branch} पासून","composer.remote.fromCurrentBranch":"{branch} पासून (सध्याची शाखा)","composer.remote.loadingMoreBranches":"लोड करत आहे…","composer.remote.localFileStateHeading":"स्थानिक फाइल स्थिती","composer.remote.localWorkingTree":"स्थानिक बदल वापरा","composer.remote.startingPoint":"हे काम कोणत्या कोडपासून सुरू झाले पाहिजे?","composer.reviewMode.branches.error":"शाखा लोड करू शकत नाही","composer.reviewMode.branches.retry":"पुन्हा प्रयत्न करा","composer.reviewMode.gitRoot.error":"Git रूट सापडले नाही","composer.reviewMode.option.baseBranch.simple":"मूळ शाखेच्या संदर्भात पुनरावलोकन करा","composer.reviewMode.option.unstaged.simple":"कमिट न केलेल्या बदलांचे पुनरावलोकन करा","composer.reviewMode.quickReviewError":"कोडचे पुनरावलोकन सुरू करू शकलो नाही.","composer.reviewMode.title":"कोडचे पुनरावलोकन","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml द्वारे संपूर्ण प्रवेश अक्षम केला आहे","composer.sandboxButton.windowsSandboxDialog.content":"फाइलसिस्टम आणि नेटवर्क प्रवेश मर्यादित करण्यासाठी कोडेक्स Windows वर प्रायोगिक सँडबॉक्स वापरू शकते. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows सँडबॉक्स सक्षम करायचा?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"फक्त-वाचणे वापरा","composer.searchEnvironments":"पर्यावरणे शोधा","composer.skillMentionList.app":"ॲप","composer.skillMentionList.loading":"कौशल्ये लोड करत आहे…","composer.skillMentionList.noResults":"कौशल्ये सापडली नाहीत","composer.slashCommands.cloudEnvironment.title":"क्लाउड पर्यावरण","composer.slashCommands.dialogLabel":"स्लॅश कमांड मेनू","composer.slashCommands.dialogTitle":"स्लॅश कमांड्स","composer.slashCommands.disabledTooltip":"स्लॅश कमांड्स वापरण्यासाठी नवीन संभाषण सुरू करा","composer.slashCommands.inputPlaceholder":"शोधा","composer.slashCommands.noResults":"कमांड्स नाहीत","composer.slashCommands.skillsGroup":"कौशल्ये","composer.slashCommands.tooltip":"स्लॅश कमांड्स ब्राउझ करा","composer.status.close":"बंद करा","composer.statusPlain.alertLabel":"अलर्ट:","composer.statusPlain.alertValue":"{window} वर {remaining}% शिल्लक","composer.statusPlain.contextLabel":"संदर्भ:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used}वापरले / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% शिल्लक","composer.statusPlain.heading":"स्टेटस","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ची मर्यादा:","composer.statusPlain.rateLimitDays":"{count}दि मर्यादा","composer.statusPlain.rateLimitFallbackLabel":"दर मर्यादा:","composer.statusPlain.rateLimitHours":"{count}ता मर्यादा","composer.statusPlain.rateLimitLabelBase":"दर मर्यादा","composer.statusPlain.rateLimitMinutes":"{count}मि मर्यादा","composer.statusPlain.rateLimitPercent":"{remaining}% शिल्लक","composer.statusPlain.rateLimitReset":"{time} वाजता/रोजी रीसेट होते","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"रीसेट होण्याचा वेळ उपलब्ध नाही","composer.statusPlain.rateLimitUnavailable":"उपलब्ध नाही","composer.statusPlain.sessionCopiedAriaLabel":"सत्र आयडी कॉपी केला","composer.statusPlain.sessionCopiedTooltip":"आयडी कॉपी केला","composer.statusPlain.sessionCopyAriaLabel":"सत्र आयडी कॉपी करा","composer.statusPlain.sessionCopyTooltip":"आयडी कॉपी करा","composer.statusPlain.sessionLabel":"सत्र:","composer.statusSlashCommand.description":"थ्रेड आयडी, संदर्भात वापर आणि दर मर्यादा दाखवा","composer.statusSlashCommand.title":"स्टेटस","composer.submit.blockedDialogOk":"ठीक आहे","composer.submit.blockedDialogTitle":"मेसेज पाठवता आला नाही","composer.submit.emptyMessage":"सुरू करण्यासाठी मेसेज एंटर करा","composer.submit.imageInputsUnsupported":"हा मेसेज पाठवण्यासाठी प्रतिमा काढून टाका किंवा मॉडेल बदला.","composer.submit.loadingLocalConfig":"लोड करत आहे…","composer.submit.missingCloudConfig":"तुम्हाला क्लाउडवरील पर्यावरण निवडावे लागेल","composer.submit.missingCloudTurn":"या कामासाठी फॉलो अप करू शकत नाही","composer.submit.noWorkspace":"कोडेक्स वापरण्यासाठी एक प्रोजेक्ट जोडा","composer.submit.waitForImageUploads":"प्रतिमा अपलोड होते आहे…","composer.submitButtonTooltip.send":"पाठवा","composer.submitButtonTooltip.stop":"थांबा","composer.worktreeEnvironment.create":"स्थानिक पर्यावरण तयार करा","composer.worktreeEnvironment.default":"डीफॉल्ट पर्यावरण","composer.worktreeEnvironment.error":"पर्यावरण लोड करताना त्रुटी आली","composer.worktreeEnvironment.loading":"पर्यावरण लोड करत आहे...","composer.worktreeEnvironment.title":"स्थानिक पर्यावरण","composer.worktreeEnvironment.tooltip":"स्थानिक पर्यावरण निवडा","composer.worktreeSetupFailed":"वर्कट्री सेटअप अयशस्वी झाला. सेटअप स्क्रिप्टसाठी .codex/environments तपासा.","compoundButton.secondaryAction":"दुय्यम क्रिया","copyButton.copied":"कॉपी केले","copyButton.copiedAriaLabel":"कॉपी केले","copyButton.copy":"कॉपी करा","copyButton.copyAriaLabel":"कॉपी करा","copyButton.copyCode":"कोड कॉपी करा","diff.actionButton.revertFile":"फाइल पूर्ववत करा","diff.actionButton.revertHunk":"पूर्वस्थितीवर या","diff.actionButton.revertSection":"सर्व पूर्ववत करा","diff.actionButton.revertSectionLabel":"सर्व पूर्ववत करा","diff.actionButton.stageFile":"फाइल स्टेज करा","diff.actionButton.stageHunk":"स्टेज करा","diff.actionButton.stageSection":"सर्व स्टेज करा","diff.actionButton.stageSectionLabel":"सर्व स्टेज करा","diff.actionButton.unstageFile":"फाइल अनस्टेज करा","diff.actionButton.unstageHunk":"अनस्टेज करा","diff.actionButton.unstageSection":"सर्व अनस्टेज करा","diff.actionButton.unstageSectionLabel":"सर्व अनस्टेज करा","diff.fileHeader.toggle":"फाइल डिफ टॉगल करा","electron.onboarding.login.apikey.cancel":"रद्द करा","electron.onboarding.login.apikey.continue":"सुरू ठेवा","electron.onboarding.login.apikey.label":"OpenAI API की","electron.onboarding.login.apikey.open":"API की प्रविष्ट करा","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"साइन-इन रद्द करा","electron.onboarding.login.chatgpt.continue":"ChatGPT सह सुरू ठेवा","electron.onboarding.login.devbox":"रिमोट SSH सह कनेक्ट करा","electron.onboarding.login.error":"साइन इन अयशस्वी झाले: {rawMessage}","electron.onboarding.login.snake.start":"Snake खेळा","electron.onboarding.login.sshConfig.cancel":"रद्द करा","electron.onboarding.login.sshConfig.continue":"सुरू ठेवा","electron.onboarding.login.sshConfig.hostnameLabel":"SSH होस्टनाव","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"एजंटसह तयार करण्याचा सर्वोत्तम मार्ग","electron.onboarding.login.title":"कोडेक्समध्ये स्वागत आहे","electron.onboarding.shell.title":"कोडेक्स","electron.onboarding.welcome.continue":"सुरू ठेवा","electron.onboarding.welcome.doubleLimits.description":"कोडेक्स ॲप लाँचच्या उत्सवात, तुमच्याकडे 2 एप्रिलपर्यंत 2x दर मर्यादा आहेत.","electron.onboarding.welcome.freego.description":"कोडेक्स तुमच्या योजनेत 2 मार्च पर्यंत विनामूल्य समाविष्ट आहे – चला एकत्र निर्मिती सुरू करूया.","electron.onboarding.welcome.new.title.anon":"सुस्वागतम","electron.onboarding.workspace.continue":"सुरू ठेवा","electron.onboarding.workspace.empty":"सुरू ठेवण्यासाठी एक प्रोजेक्ट जोडा.","electron.onboarding.workspace.listLabel":"उपलब्ध प्रोजेक्ट","electron.onboarding.workspace.loading":"प्रोजेक्ट लोड करत आहे…","electron.onboarding.workspace.openFolder":"प्रोजेक्ट जोडा","electron.onboarding.workspace.selectAll":"सर्व निवडा","electron.onboarding.workspace.skip":"वगळा","electron.onboarding.workspace.skip.error":"नवीन प्रोजेक्ट तयार करू शकत नाही: {message}","electron.onboarding.workspace.skip.error.unknown":"अज्ञात त्रुटी","electron.onboarding.workspace.skipping":"नवीन प्रोजेक्ट तयार करत आहे…","electron.onboarding.workspace.subtitle":"कोडेक्स निवडलेल्या फोल्डरमध्ये फाइल्स संपादित करण्यास आणि कमांड चालवण्यास सक्षम असेल.","electron.onboarding.workspace.title":"एक प्रोजेक्ट निवडा","errorPage.list.checkSettings":"तुमच्या IDE सेटिंग्ज अपडेट करून पहा","errorPage.list.configToml":"तुमच्या config.toml मध्ये अमान्य सेटिंग्ज आहेत का ते तपासा","errorPage.list.downloadExtension":"एक्सटेंशनची वेगळी आवृत्ती डाउनलोड करून पहा","errorPage.list.runInWsl":"तुम्हाला सुसंगततेसंबंधी समस्या येत असतील, तर WSL मध्ये चालवणे अक्षम करण्यासाठी तुमच्या सेटिंग्ज तपासा.","execApprovalRequest.menu.runAlways":"होय आणि या सत्रात पुन्हा विचारू नका","execApprovalRequest.menu.runAlwaysWithAmendment":"होय, आणि {command} ने सुरू होणाऱ्या कमांडसाठी पुन्हा विचारू नका","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"होय, आणि यासह सुरू होणाऱ्या कमांडसाठी पुन्हा विचारू नका","execApprovalRequest.menu.runOnce":"होय","execApprovalRequest.prompt":"तुम्हाला ही कमांड चालवायची आहे?","execApprovalRequest.reject":"नाही","execFooter.exitCode":"बाहेर पडण्याचा कोड {code}","execFooter.exitCode.unknown":"अज्ञात","execFooter.success":"यश मिळाले","feedback.dialog.category.badResult":"चुकीचा परिणाम","feedback.dialog.category.bug":"बग","feedback.dialog.category.goodResult":"चांगला परिणाम","feedback.dialog.category.other":"इतर","feedback.dialog.descriptionPlaceholder":"समस्येचे वर्णन येथे करा","feedback.dialog.dismiss":"हे नको","feedback.dialog.includeLogsLabel":"सध्याच्या कोडेक्स सत्राचे लॉग्ज समाविष्ट करा","feedback.dialog.submit":"सबमिट करा","feedback.dialog.submitError":"आम्हाला तुमचा अभिप्राय सबमिट करता आला नाही. कृपया काही क्षणात पुन्हा प्रयत्न करा.","feedback.dialog.title":"अभिप्राय","feedback.dialog.uploadedMessage.existingIssue":"सध्याची खुली समस्या","feedback.dialog.uploadedMessage.openIssue":"GitHub वर समस्या उघडा","feedback.dialog.uploadedMessage.withThread":"अभिप्राय अपलोड केला. समस्या कायम राहिल्यास, कृपया {openIssueLink}किंवा एका {existingIssueLink} मध्ये थ्रेड आयडी नमूद करा:","feedback.dialog.uploadedTitle":"अभिप्राय अपलोड केला","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} काढून टाका","header.back":"मागे","header.recentChats":"कामे","header.recentTasks.seeAll":"सर्व पहा ({total})","home.header.getPlus":"Plus मिळवा","home.hero.letsBuild":"चला तयार करूया","homePage.mainContent":"मुख्य काँटेंट","imageAttachment.defaultName":"प्रतिमा","imageAttachment.preview.close":"प्रतिमा पूर्वावलोकन बंद करा","imageAttachment.removeAriaLabel":"{filename} काढून टाका","implementPlanRequest.option.implement":"होय, या योजनेची अंमलबजावणी करा","implementPlanRequest.prompt":"या योजनेची अंमलबजावणी करायची?","inbox.archived.deleteError":"संग्रहित रन हटवता आला नाही","inbox.archived.deleteRun":"संग्रहित रन हटवा","inbox.archived.deleteSuccess":"संग्रहित थ्रेड हटवला. <settingsLink>संग्रहित थ्रेड्स</settingsLink> मध्ये पहा.","inbox.archived.inlineLabel.auto":"हा थ्रेड आपोआप संग्रहित केला गेला. <learnMoreLink>अधिक जाणून घ्या</learnMoreLink>","inbox.archived.inlineLabel.manual":"हा थ्रेड संग्रहित केला गेला आहे.","inbox.archived.noMessageFound":"कोणताही मेसेज आढळला नाही","inbox.automations.createError":"ऑटोमेशन तयार करता आले नाही","inbox.automations.deleteConfirm.cancel":"रद्द करा","inbox.automations.deleteConfirm.confirm":"ऑटोमेशन हटवा","inbox.automations.deleteConfirm.description":"याने ऑटोमेशन नेहमीसाठी हटवले जाईल आणि भविष्यात चालणे थांबवेल.","inbox.automations.deleteConfirm.title":"{name} हटवायचे?","inbox.automations.deleteError":"ऑटोमेशन हटवता आले नाही","inbox.automations.editTooltip":"ऑटोमेशन एडिट करा","inbox.automations.inProgress":"सुरू आहे","inbox.automations.new":"नवीन","inbox.automations.newToolbar":"नवीन ऑटोमेशन","inbox.automations.pauseTooltip":"ऑटोमेशन थांबवा","inbox.automations.resumeTooltip":"ऑटोमेशन पुन्हा सुरू करा","inbox.automations.startingNow":"आता सुरू करत आहे","inbox.automations.startsIn":"{startTime} मध्ये सुरू होईल","inbox.automations.status.active":"सक्रिय","inbox.automations.status.paused":"थांबवले","inbox.automations.status.runs":"{count} वेळा चालले","inbox.automations.status.started":"{date} रोजी सुरू झाले","inbox.automations.updateError":"ऑटोमेशन अद्ययावत करता आले नाही","inbox.automations.workspaceFallback":"-","inbox.filter.all":"सर्व","inbox.filter.ariaLabel":"इनबॉक्समधील आयटम्स फिल्टर करा","inbox.filter.unread":"न वाचलेले","inbox.list.archived":"आर्काइव्ह केलेले","inbox.list.inProgress":"सुरू आहे","inbox.list.recent":"पूर्ण झाले","inbox.list.upNext":"शेड्यूल केलेले","inbox.mode.automations":"ऑटोमेशन्स","inbox.mode.automations.beta":"बीटा","inbox.noDescription":"वर्णन दिलेले नाही","inbox.openThread":"थ्रेड उघडा","inbox.rightPanel.emptySubtitle":"शेड्यूल केलेली कामे सेट करून काम स्वयंचलित करा","inbox.rightPanel.emptySubtitle.learnMore":"शेड्यूल केलेली कामे सेट अप करून काम ऑटोमेट करा.<link>अधिक जाणून घ्या</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# सक्रिय ऑटोमेशन} other {# सक्रिय ऑटोमेशन्स}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"कोणतेही न वाचलेले ऑटोमेशन्स नाहीत","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# न वाचलेले ऑटोमेशन} other {# न वाचलेले ऑटोमेशन्स}}","inbox.rightPanel.emptyTitle":"आयटम्स निवडलेले नाहीत","inbox.rightPanel.noThread":"या आयटमसाठी कोणताही थ्रेड नाही","inbox.rightPanel.quickStart.header":"टेम्पलेटवरून सुरुवात करा","inbox.untitled":"विनाशीर्षक इनबॉक्स आयटम","loadingPage.documentationLink":"दस्तऐवज","loadingPage.errorDescription":"कोडेक्स खालील त्रुटीसह क्रॅश झाले:","loadingPage.errorDescription.documentation":"कोडेक्स एक्सटेंशन पुन्हा सुरू करण्यासाठी रीलोड करा वर क्लिक करा किंवा अतिरिक्त मदतीसाठी आमच्या {documentationLink} ला भेट द्या.","loadingPage.errorSignal":"प्रयत्न करण्यासारख्या काही गोष्टी:","loadingPage.errorTitle":"एक त्रुटी आली आहे","loadingPage.openConfigToml":"Config.toml उघडा","loadingPage.reload":"रीलोड करा","localConversation.contextCompacted":"संदर्भ आपोआप लहान केला","localConversation.contextCompacting":"संदर्भ आपोआप लहान करत आहे","localConversation.forkedFromConversation":"{threadTitle} वरून फोर्क केले","localConversation.merge.autoResolve.failed":"आपोआप निराकरणाची विनंती पाठवता आली नाही: {error}","localConversation.merge.autoResolve.sent":"आपोआप निराकरणाची विनंती पाठवली","localConversation.merge.autoResolveMerge.missingConversation":"सक्रिय संभाषणाशिवाय आपोआप निराकरण करणे शक्य नाही.","localConversation.merge.autoResolveMerge.request":"विलीन करण्याच्या वादांचे आपोआप निराकरण करा","localConversation.modelChanged":"मॉडेल {fromModel} वरून {toModel} वर बदलले.","localConversation.modelChanged.warning.line1":"संभाषणाच्या दरम्यान मॉडेल बदलल्याने कामगिरी खराब होईल.","localConversation.modelChanged.warning.line2":"संदर्भ आपोआप लहान केला जाऊ शकेल.","localConversation.moveThread.createBranch.label":"शाखा तयार करा","localConversation.moveToLocal.disabled.loading":"लोड करत आहे…","localConversation.moveToLocal.modal.continue":"सुरू ठेवा","localConversation.moveToLocal.modal.destinationLabel":"येथे हलवा","localConversation.moveToLocal.modal.retry":"पुन्हा प्रयत्न करा","localConversation.moveToWorktree.modal.back":"मागे","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ही शाखा आधीच अस्तित्वात आहे.","localConversation.moveToWorktree.modal.branchesError":"शाखा लोड करू शकत नाही","localConversation.moveToWorktree.modal.branchesLoading":"शाखा लोड होत आहेत…","localConversation.moveToWorktree.modal.branchesRetry":"पुन्हा प्रयत्न करा","localConversation.moveToWorktree.modal.continue":"सुरू ठेवा","localConversation.moveToWorktree.modal.retry":"पुन्हा प्रयत्न करा","localConversation.moveToWorktree.modal.trailingSlashError":"शाखेच्या नावाच्या शेवटी “/” असू शकत नाही.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"नवीन-शाखा","localConversation.personalityChanged":"{personality} व्यक्तिमत्वावर स्विच केले","localConversation.planSummary.collapse":"योजनेचा सारांश लहान करा","localConversation.planSummary.collapseTooltip":"लहान करा","localConversation.planSummary.download":"योजना डाउनलोड करा","localConversation.planSummary.expand":"योजनेचा सारांश मोठा करा","localConversation.planSummary.expandTooltip":"मोठे करा","localConversation.planSummary.openInNewWindow":"उघडा","localConversation.planSummary.openInNewWindow.tooltip":"नवीन विंडोमध्ये उघडा","localConversation.planSummary.title":"योजना","localConversation.planSummary.titleWriting":"योजना लिहित आहे","localConversation.planSummary.viewPlan":"योजनेचा विस्तार करा","localConversation.remoteTaskCreated":"कोडेक्स क्लाउडमध्ये {taskLink} तयार केले","localConversation.remoteTaskCreated.task":"काम","localConversation.scrollToBottomButton":"सर्वात खालपर्यंत स्क्रोल करा","localConversation.sync.buttonLabel":"स्थानिककडे हस्तांतरित करा","localConversation.sync.buttonLabel.tooltip":"या वर्कट्री आणि तुमच्या स्थानिक चेकआउटमधील बदल हँड ऑफ करा.","localConversation.sync.modal.loading.title":"बदल हस्तांतरित करत आहे…","localConversation.sync.modal.noChanges":"एकही बदल नाही","localConversation.syncSetup.branchAriaLabel":"शाखेचे नाव","localConversation.syncSetup.branchName":"शाखेचे नाव","localConversation.syncSetup.branchPlaceholder.existing":"विद्यमान शाखा निवडा","localConversation.syncSetup.branchPlaceholder.new":"कोडेक्स/नवीन-वैशिष्ट्य","localConversation.syncSetup.branchesLoading":"शाखा लोड होत आहेत…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"आधीच चेक आउट केले आहे","localConversation.syncSetup.checkoutClean":"सध्या {branchName} वर आहे","localConversation.syncSetup.checkoutDirty":"कमिट न केलेल्या बदलांसह सध्या {branchName} वर आहे","localConversation.syncSetup.checkoutError":"शाखा चेक आउट करता आली नाही: {message}","localConversation.syncSetup.checkoutLabel":"आता स्थानिकरित्या चेक आउट करा","localConversation.syncSetup.checkoutOnLocal":"स्थानिककडे हस्तांतरित करा","localConversation.syncSetup.checkoutPending":"स्थानिक स्टेटस तपासत आहे…","localConversation.syncSetup.checkoutUnavailable":"स्थानिक कार्यक्षेत्र उपलब्ध नाही","localConversation.syncSetup.checkoutUnknown":"स्थानिक शाखा उपलब्ध नाही","localConversation.syncSetup.continue":"सुरू ठेवा","localConversation.syncSetup.createBranchError":"शाखेचे हस्तांतरण सेट करता आले नाही: {message}","localConversation.syncSetup.error":"काहीतरी चुकले: {message}","localConversation.syncSetup.error.workingTreeMissing":"वर्कट्रीचा स्नॅपशॉट घेता आला नाही. कृपया हस्तांतरण पुन्हा करून पहा.","localConversation.syncSetup.mode.ariaLabel":"शाखा मोड निवडा","localConversation.syncSetup.mode.existing":"विद्यमान शाखा","localConversation.syncSetup.mode.new":"नवीन शाखा","localConversation.syncSetup.noBranches":"कोणत्याही शाखा आढळल्या नाहीत","localConversation.syncSetup.overwriteError":"शाखा तयार झाली आहे, पण संपूर्णपणे हस्तांतरित झालेली नाही. स्थानिक पातळीवर चेक आउट करण्यापूर्वी मॅन्युअली हस्तांतरित करा.","localConversation.syncSetup.setPrefix":"प्रीफिक्स सेट करा","localConversation.syncSetup.subtitle":"वर्कट्री बदलांची स्थानिक पातळीवर चाचणी करा आणि त्यांना एडिट करा. <a>अधिक जाणून घ्या</a>","localConversation.syncSetup.success.checkedOut":"शाखा तयार केली गेली आणि स्थानिक पातळीवर चेक आउट केली","localConversation.syncSetup.success.notCheckedOut":"शाखा तयार झाली","localConversation.syncSetup.title":"स्थानिक शाखेकडे हस्तांतरित करा","localConversation.syncWorktreeError.branchAriaLabel":"शाखेचे नाव","localConversation.syncWorktreeError.branchPlaceholder.new":"कोडेक्स/नवीन-वैशिष्ट्य","localConversation.syncWorktreeError.branchSetup.subtitle":"हस्तांतरित करण्यासाठी एक शाखा निवडा आणि नंतर बदल लोड करण्याचा पुन्हा प्रयत्न करा.","localConversation.syncWorktreeError.branchSetup.title":"शाखा अद्ययावत करा","localConversation.syncWorktreeError.branchUpdate.cta":"अद्यतनित करा आणि पुन्हा प्रयत्न करा","localConversation.syncWorktreeError.branchUpdate.error":"शाखा अद्यतनित करता आली नाही: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"काहीतरी चुकले: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"शाखा कोणत्याही वर्कट्रीमध्ये चेक आउट केलेली नाही.","localConversation.syncWorktreeV2.applyUncommitted":"लागू करा","localConversation.syncWorktreeV2.applyUncommitted.disabled":"कमिट न केलेले बदल लागू करण्यासाठी तुम्ही स्थानिक पातळीवर शाखा चेक आउट केली पाहिजे","localConversation.syncWorktreeV2.branches.empty":"कोणत्याही शाखा आढळल्या नाहीत","localConversation.syncWorktreeV2.branches.loading":"शाखा लोड होत आहेत…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"हस्तांतरण शाखा बदला","localConversation.syncWorktreeV2.changeBranch.error":"हस्तांतरण शाखा बदलता आली नाही: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"लागू करता आले नाही","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"वर्कट्री ओव्हरराइट करणे अयशस्वी झाले","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"स्थानिक ओव्हरराइट करणे अयशस्वी झाले","localConversation.syncWorktreeV2.commandError.back":"मागे","localConversation.syncWorktreeV2.commandError.body":"हस्तांतरण करताना एक git कमांड अयशस्वी झाली. आउटपुटचे पुनरावलोकन करा आणि पुन्हा प्रयत्न करा","localConversation.syncWorktreeV2.commandError.retry":"पुन्हा प्रयत्न करा","localConversation.syncWorktreeV2.description":"स्थानिक आणि या वर्कट्री दरम्यान बदल हस्तांतरित करा <a>अधिक जाणून घ्या</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"हस्तांतरणाची दिशा निवडा","localConversation.syncWorktreeV2.error.generic":"हस्तांतरण करताना काहीतरी चूक झाली. पुन्हा प्रयत्न करा.","localConversation.syncWorktreeV2.localBranchLabel":"स्थानिक","localConversation.syncWorktreeV2.noChanges":"बदलांची गणना करत आहे","localConversation.syncWorktreeV2.noChanges.summary":"एकही बदल नाही","localConversation.syncWorktreeV2.overwrite.local":"स्थानिक ओव्हरराइट करा","localConversation.syncWorktreeV2.overwrite.worktree":"वर्कट्री ओव्हरराइट करा","localConversation.syncWorktreeV2.partial.action.applyFailed":"बदल लागू करता आले नाहीत","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"स्थानिक बदल ओव्हरराइट करू शकत नाही","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"वर्कट्रीतील बदल ओव्हरराइट करू शकत नाही","localConversation.syncWorktreeV2.partial.appliedLabel":"लागू केले","localConversation.syncWorktreeV2.partial.back":"मागे","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"वाद सोडवा आणि पुन्हा प्रयत्न करा.","localConversation.syncWorktreeV2.partial.conflictsLabel":"वाद","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# फाइल} other {# फाइल्स}}","localConversation.syncWorktreeV2.partial.retry":"पुन्हा प्रयत्न करा","localConversation.syncWorktreeV2.partial.skippedLabel":"वगळली(ल्या)","localConversation.syncWorktreeV2.stateFailed.generic":"हस्तांतरित करण्यासाठी वर्कट्रीतील बदल मिळवताना काहीतरी चूक झाली. कृपया पुन्हा प्रयत्न करा.","localConversation.syncWorktreeV2.stateFailed.title":"वर्कट्रीतील बदल लोड करता आले नाहीत","localConversation.syncWorktreeV2.statusError.diffUnknown":"वर्कट्रीतील बदल लोड करता आले नाहीत.","localConversation.syncWorktreeV2.statusError.retry":"पुन्हा प्रयत्न करा","localConversation.syncWorktreeV2.statusError.title":"स्थानिक शाखेमधील बदल लोड करता आले नाहीत","localConversation.syncWorktreeV2.statusError.unknown":"शाखेची स्थिती सध्या उपलब्ध नाही. पुन्हा प्रयत्न करा.","localConversation.syncWorktreeV2.success.apply":"बदल यशस्वीरित्या लागू केले","localConversation.syncWorktreeV2.success.overwrite":"हस्तांतरण यशस्वी झाले","localConversation.syncWorktreeV2.title":"बदल हस्तांतरित करा","localConversation.syncWorktreeV2.worktreeLabel":"वर्कट्री","localConversation.userInputRequest.inProgress":"{count, plural, one {प्रश्न} other {प्रश्न}} विचारत आहे","localConversation.userInputRequest.noAnswer":"कोणतेही उत्तर दिलेले नाही","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"विचारले","localConversation.userInputRequest.summary.count":"{count, plural, one {# प्रश्न} other {# प्रश्न}}","localConversation.workedFor":"{time} एवढा वेळ काम केले","localConversation.worktreeBranchSetup.action.create":"तयार करा","localConversation.worktreeBranchSetup.branchAriaLabel":"शाखेचे नाव","localConversation.worktreeBranchSetup.branchPlaceholder.new":"नवीन शाखा तयार करा","localConversation.worktreeBranchSetup.checkoutDisabled":"ही शाखा आधीच {location} वर चेक आउट केली आहे","localConversation.worktreeBranchSetup.checkoutError":"शाखा चेक आउट करता आली नाही: {message}","localConversation.worktreeBranchSetup.createBranchError":"शाखा सेट करता आली नाही: {message}","localConversation.worktreeBranchSetup.error":"काहीतरी चुकले: {message}","localConversation.worktreeBranchSetup.subtitle":"बदल कमिट करण्यासाठी, पुश करण्यासाठी आणि या वर्कट्रीमधून PR तयार करण्यासाठी एक शाखा तयार करा. <a>अधिक जाणून घ्या</a>","localConversation.worktreeBranchSetup.title":"येथे काम करा","localConversationPage.addWorktreeToSidebar.tooltip":"प्रोजेक्ट म्हणून जतन करा, म्हणजे तुम्ही या वर्कट्रीमधून नवीन थ्रेड्स सुरू करू शकाल","localConversationPage.addWorktreeToSidebarError":"प्रोजेक्ट जोडता आला नाही","localConversationPage.commitAndCreatePrModal.errorTitle":"कमिट करून PR तयार करणे अयशस्वी झाले","localConversationPage.commitAndCreatePrModal.successTitle":"कमिट केले आणि PR तयार केले","localConversationPage.commitAndPushModal.errorTitle":"कमिट आणि पुश करणे अयशस्वी झाले","localConversationPage.commitAndPushModal.successTitle":"कमिट केले आणि बदल पुश केले","localConversationPage.commitCreatePr.open":"पुल विनंती उघडा","localConversationPage.commitCreatePr.successTitle":"तुमच्या नवीनतम बदलांसह PR तयार केले","localConversationPage.createBranchButtonLabel":"शाखा येथे तयार करा","localConversationPage.createPrModal.baseBranch":"बेस","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR तयार करा","localConversationPage.createPrModal.createDescription":"तुमच्या नवीनतम बदलांसाठी एक पुल विनंती उघडा.","localConversationPage.createPrModal.errorTitle":"पुल विनंती अयशस्वी झाली","localConversationPage.createPrModal.headBranch":"मुख्य","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR उघडा","localConversationPage.createPrModal.successTitle":"पुल विनंती तयार केली","localConversationPage.createPrModal.title":"पुल विनंती तयार करा","localConversationPage.createPrModal.viewDescription":"या शाखेसाठी एक पुल विनंती आधीच अस्तित्वात आहे.","localConversationPage.createPrModal.viewTitle":"पुल विनंती तयार आहे","localConversationPage.createPullRequestAuthGh":"GitHub CLI प्रमाणीकृत करा: `gh auth login` चालवा","localConversationPage.createPullRequestBranchMissing":"शाखेची माहिती उपलब्ध नाही","localConversationPage.createPullRequestButtonLabel":"PR तयार करा","localConversationPage.createPullRequestButtonLabel.loading":"PR तयार करत आहे...","localConversationPage.createPullRequestDefaultBranchMissing":"शाखेची डीफॉल्ट माहिती उपलब्ध नाही","localConversationPage.createPullRequestError":"पुल विनंती तयार करता आली नाही","localConversationPage.createPullRequestExistingPullRequest":"या शाखेसाठी एक पुल विनंती आधीच अस्तित्वात आहे","localConversationPage.createPullRequestGhStatusMissing":"Github CLI स्टेटस लोड करत आहे…","localConversationPage.createPullRequestInstallGh":"PRs तयार करण्यासाठी Github CLI (gh) इंस्टॉल करा","localConversationPage.createPullRequestNoRepo":"git रिपॉझिटरी सापडली नाही","localConversationPage.createPullRequestPushStatusMissing":"पुश स्टेटस लोड करत आहे…","localConversationPage.createPullRequestSetUpstream":"PR तयार करण्यापूर्वी ही शाखा पुश करा","localConversationPage.createPullRequestSuccessToast":"पुल विनंती तयार केली","localConversationPage.createPullRequestSwitchBranch":"PR तयार करण्यापूर्वी वैशिष्ट्य शाखा चेकआउट करा","localConversationPage.error.render":"स्थानिक संभाषण दाखवताना त्रुटी आली","localConversationPage.error.toast":"संभाषण आढळले नाही","localConversationPage.forcePushError":"सक्तीने पुश करणे अयशस्वी झाले","localConversationPage.generatePullRequestMessageError":"पुल विनंती शीर्षक आणि बॉडी जनरेट करण्यात अयशस्वी","localConversationPage.generatePullRequestMessageFailed":"पुल विनंती शीर्षक आणि बॉडी जनरेट करण्यात अयशस्वी.","localConversationPage.gitActionResult.branch":"शाखा","localConversationPage.gitActionResult.cancel":"रद्द करा","localConversationPage.gitActionResult.close":"बंद करा","localConversationPage.gitActionResult.tryAgain":"पुन्हा प्रयत्न करा","localConversationPage.gitActions":"Git क्रिया","localConversationPage.newChat":"नवीन चॅट","localConversationPage.openInTarget":"यामध्ये उघडा","localConversationPage.openPrimaryTarget":"उघडा","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# काम पूर्ण झाले} other {# कामे पूर्ण झाली}} पैकी {completedItems}","localConversationPage.pushAuthError":"पुश अपयशी झाले: प्रमाणीकरण अनिवार्य आहे","localConversationPage.pushBranchMissing":"शाखेची माहिती उपलब्ध नाही","localConversationPage.pushButtonLabel":"पुश","localConversationPage.pushButtonLabel.loading":"पुश करत आहे...","localConversationPage.pushError":"बदल पुश करता आले नाहीत","localConversationPage.pushModal.branchLabel":"शाखा","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"रद्द करा","localConversationPage.pushModal.confirm":"पुश","localConversationPage.pushModal.description":"रिमोट रिपॉझिटरीवर तुमचे नवीनतम कमिट पुश करा.","localConversationPage.pushModal.errorTitle":"पुश अयशस्वी झाले","localConversationPage.pushModal.forcePush":"सक्तीने पुश करा","localConversationPage.pushModal.successTitle":"पुश पूर्ण झाले","localConversationPage.pushModal.title":"बदल पुश करा","localConversationPage.pushModal.tryAgain":"पुन्हा प्रयत्न करा","localConversationPage.pushNoUpstream":"ही शाखा पुश करण्यापूर्वी अपस्ट्रीम सेट करा","localConversationPage.pushNoUpstreamError":"पुश अपयशी झाले: अपस्ट्रीम कॉन्फिगर केलेले नाही","localConversationPage.pushNothingToPush":"पुश करण्यासाठी नवीन कमिट्स नाहीत","localConversationPage.pushRemoteChangedError":"पुश अपयशी झाले: रिमोटवर नवीन कमिट्स आहेत","localConversationPage.pushRemoteRejectedError":"रिमोटने पुश नाकारले","localConversationPage.pushStatusMissing":"पुश स्टेटस लोड करत आहे…","localConversationPage.pushSuccessToast":"पुश केलेले बदल","localConversationPage.viewPullRequestButtonLabel":"PR पहा","localConversationPage.viewPullRequestButtonLabel.loading":"पुल विनंती लोड करत आहे…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# फाइल} other {# फाइल्स}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# यादी} other {# याद्या}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# शोध} other {# शोध}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"एक्सप्लोर करत आहे","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"एक्सप्लोर केले","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} एक्सप्लोर केले","localConversationTurnStory.showContent":"सामग्री दाखवा","localConversationTurnStory.streamContent":"स्ट्रीम सामग्री","localConversationTurnStory.toggleReasoning":"तर्कशक्ती दाखवा","localTaskRow.archiveError":"संभाषण संग्रहित करता आले नाही","localTaskRow.resumeError":"काम पुन्हा सुरू करता आले नाही","mermaidDiagram.ariaLabel":"Mermaid डायग्राम","mermaidDiagram.copySource":"Mermaid कॉपी करा","mermaidDiagram.originalCode":"Mermaid स्रोत कोड","notifications.permissions.description":"नोटिफिकेशन परवानग्या पाहिजे असतील तेव्हा अलर्ट दाखवा","notifications.permissions.label":"परवानगी नोटिफिकेशन सक्षम करा","notifications.turnMode.always":"नेहमी","notifications.turnMode.description":"काम पूर्ण केल्यावर कोडेक्सने तुम्हाला कधी अलर्ट करावे हे सेट करा","notifications.turnMode.label":"पूर्ण झाल्याच्या नोटिफिकेशन चालू करा","notifications.turnMode.off":"कधीही नाही","notifications.turnMode.unfocused":"फक्त फोकस नसताना","patchApprovalRequest.approve":"मंजूर करा","patchApprovalRequest.menu.allowAlways":"होय आणि या सत्रात पुन्हा विचारू नका","patchApprovalRequest.menu.allowForSession":"होय आणि या सत्रात पुन्हा विचारू नका","patchApprovalRequest.menu.allowOnce":"होय","patchApprovalRequest.prompt":"तुम्हाला हे बदल करायचे आहेत?","patchApprovalRequest.reject":"नाही","patchApprovalRequest.waitingForApproval":"फाइल्स एडिट करण्यासाठी मंजुरीची वाट बघत आहे","pendingRequest.approvalExec.collapse":"लहान करा","pendingRequest.approvalExec.expand":"मोठे करा","pendingRequestStory.toastAnswer":"उत्तर: {answer}","pendingRequestStory.toastApprovalTitle":"मंजुरी प्रतिसाद","pendingRequestStory.toastFollowupPrompt":"प्रॉम्प्ट: {prompt}","pendingRequestStory.toastFollowupTitle":"फॉलो अप पाठवला","pendingRequestStory.toastNoAnswers":"कोणतीही उत्तरे दिलेली नाहीत","pendingRequestStory.toastQuestion":"प्रश्न: {question}","pendingRequestStory.toastUnknownDecision":"अज्ञात","pendingRequestStory.toastUserInputTitle":"सबमिट केलेली उत्तरे","quickAction.request.codeReview.branches.new":"{to} च्या संदर्भात {from} मधील बदलांचे कृपया पुनरावलोकन करा","quickAction.request.codeReview.uncommitted.new":"माझ्या कमिट न केलेल्या बदलांचे कृपया पुनरावलोकन करा","reasoningItem.thinking":"विचार करत आहे","reasoningItem.thought":"विचार केला","reasoningItem.thoughtWithElapsed":"{elapsed} साठी विचार केला","recentConversations.title":"अलीकडील संभाषणे","recentTasks.worktreeInitFailedTitle":"वर्कट्री इनिट अयशस्वी झाले","recentTasks.worktreeSettingUpTitle":"वर्कट्री सेट अप करत आहे","requestInputPanel.continue":"सुरू ठेवा","requestInputPanel.dismiss":"हे नको","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"येथे टाइप करा","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"नाही, आणि कोडेक्सला वेगळ्या पद्धतीने काय करायचे ते सांगा","requestInputPanel.selectedBadge":"निवडलेले","requestInputPanel.skip":"वगळा","requestInputPanel.submit":"सबमिट करा","review.commit.ariaLabel.includeUnstaged":"स्टेज न केलेले समाविष्ट करा","review.commit.buttonLabel":"कमिट","review.commit.disabled.committing":"कमिट करत आहे…","review.commit.disabled.loadingDiff":"डिफ लोड करत आहे…","review.commit.disabled.missingContext":"कमिट मेसेज जनरेट करण्यासाठी काही संदर्भ जोडा","review.commit.disabled.noChanges":"कमिट करण्यासाठी कोणतेही बदल नाहीत","review.commit.disabled.noSelection":"कमिट करण्यासाठी बदल निवडा","review.commit.disabled.unavailable":"सध्या कमिट उपलब्ध नाही","review.commit.error":"बदल कमिट करता आले नाहीत","review.commit.form.changesToBeCommitted":"बदल","review.commit.form.commitTo":"शाखा","review.commit.form.commitTo.none":"-","review.commit.form.continue":"सुरू ठेवा","review.commit.form.title":"तुमचे बदल कमिट करा","review.commit.generate.emptyResponse":"कमिट मेसेज जनरेट करता आला नाही.","review.commit.generate.failed":"कमिट मेसेज जनरेट करण्यात अयशस्वी: {error}","review.commit.generate.missingPrompt":"कमिट मेसेज जनरेट करण्यासाठी काही संदर्भ जोडा.","review.commit.includeUnstaged":"स्टेज न केलेले समाविष्ट करा","review.commit.loading.description":"धीर धरा, याला काही क्षण लागू शकतात…","review.commit.loading.step.commit.done":"बदल कमिट केले","review.commit.loading.step.commit.pending":"बदल कमिट करत आहे","review.commit.loading.step.createPr.done":"एक पुल विनंती तयार केली","review.commit.loading.step.createPr.pending":"एक पुल विनंती तयार करत आहे","review.commit.loading.step.push.done":"{branch} शाखेवर पुश केले","review.commit.loading.step.push.pending":"{branch} शाखेवर पुश करत आहे","review.commit.loading.title.commit":"बदल कमिट करत आहे","review.commit.loading.title.createPr":"PR तयार करत आहे","review.commit.loading.title.push":"बदल पुश करत आहे","review.commit.messageLabel":"कमिटचा मेसेज","review.commit.messagePlaceholder":"कमिट मेसेज आपोआप तयार करण्यासाठी रिकामे सोडा","review.commit.nextSteps":"पुढील पायऱ्या","review.commit.nextSteps.commit":"कमिट","review.commit.nextSteps.commitAndCreate":"कमिट करा आणि PR तयार करा","review.commit.nextSteps.commitAndPush":"कमिट आणि पुश करा","review.commit.nextSteps.prRequiresGh":"GitHub CLI आवश्यक आहे: {command}","review.commit.rows.changes":"बदल","review.commit.rows.commitCount":"{count, plural, one {# कमिट} other {# कमिट्स}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# कमिट} other {# कमिट्स}} आणि {stats}","review.commit.rows.fileCount":"{count, plural, one {# फाइल} other {# फाइल्स}}","review.commit.state.error.body":"कमिट करताना काहीतरी चूक झाली. तुमची git स्थिती तपासा आणि पुन्हा प्रयत्न करा.","review.commit.state.error.title":"कमिट अपयशी झाले","review.commit.state.success.title":"बदल कमिट केले","review.commit.untracked.loadingStats":"अनट्रॅक केलेली डिफ आकडेवारी लोड होत आहे…","reviewFindingAttachments.count":"{count, plural, one {# निष्कर्ष} other {# निष्कर्ष}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"एजंटचे वर्तन सानुकूलित करण्यासाठी तुमचे कॉन्फिगरेशन एडिट करा","settings.agent.configuration.configToml.docs":"दस्तऐवज","settings.agent.configuration.configToml.restartNote":"बदल लागू करण्यासाठी एडिट केल्यानंतर कोडेक्स पुन्हा सुरू करा","settings.agent.configuration.subtitle":"कोडेक्स वापरले जाते तेथे या सेटिंग्ज लागू होतात","settings.automations.banner.danger":"ऑटोमेशन तुमच्या डीफॉल्ट सँडबॉक्स सेटिंग्जवर चालतात, जे सध्या संपूर्ण प्रवेशवर सेट आहेत. संपूर्ण प्रवेशासह पार्श्वभूमी ऑटोमेशन चालवण्यामध्ये जास्त धोका असतो, कारण कोडेक्स फाइल्समध्ये बदल करू शकते, कमांड्स चालवू शकते आणि न विचारता नेटवर्कमध्ये प्रवेश करू शकते. सँडबॉक्स सेटिंग्जना कार्यक्षेत्रात राइट वर अपडेट करण्याचा आणि एजंट कोणत्या कमांड्सना पूर्ण प्रवेशासह चालवू शकेल हे निवडकपणे ठरवण्यासाठी <rulesDocsLink>नियम</rulesDocsLink> वापरण्याचा विचार करा.","settings.automations.banner.defaultHowTo.default":"ऑटोमेशन तुमच्या डीफॉल्ट सँडबॉक्स सेटिंग्जवर चालतात. टूल कॉल्सना कार्यक्षेत्राच्या बाहेरील फाइल्समध्ये बदल करणे, नेटवर्कमध्ये प्रवेश करणे किंवा तुमच्या कॉम्प्यूटरवरील ॲप्ससह काम करणे आवश्यक असेल, तर ते कॉल अयशस्वी होतील. तुम्ही <rulesDocsLink>नियम</rulesDocsLink> वापरून सँडबॉक्सच्या बाहेर चालवण्यासाठी कमांड्सना निवडकपणे परवानगी देऊ शकता.","settings.automations.banner.defaultHowTo.readOnly":"ऑटोमेशन तुमच्या डीफॉल्ट सँडबॉक्स सेटिंग्जवर चालतात, जे फक्त-वाचन वर सेट आहेत. टूल कॉल्सना फाइल्समध्ये बदल करणे, नेटवर्कमध्ये प्रवेश करणे किंवा तुमच्या कॉम्प्यूटरवरील ॲप्ससह काम करणे आवश्यक असेल, तर ते कॉल अयशस्वी होतील. सँडबॉक्स सेटिंग्जना कार्यक्षेत्र राइटवर अद्यतनित करण्याचा विचार करा.","settings.automations.cancel":"रद्द करा","settings.automations.create":"तयार करा","settings.automations.cwdEmpty":"कोणतेही प्रोजेक्ट फोल्डर उपलब्ध नाहीत","settings.automations.cwdLabel":"प्रोजेक्ट्स","settings.automations.cwdPlaceholder":"फोल्डर निवडा","settings.automations.cwdSubtitle":"तुम्हाला एखादे ऑटोमेशन विशिष्ट शाखेवर चालवायचे असल्यास, तुम्ही ते तुमच्या प्रॉम्प्टमध्ये निर्दिष्ट करू शकता.","settings.automations.delete":"हटवा","settings.automations.dialog.editTitle":"ऑटोमेशन एडिट करा","settings.automations.dialog.newTitle":"नवीन ऑटोमेशन","settings.automations.dialog.subtitle":"पुनरावृत्ती होणारी कामे पार्श्वभूमीमध्ये ऑटोमेट करा. कोडेक्स निष्कर्षांना इनबॉक्समध्ये जोडते किंवा अहवाल देण्यासाठी काही नसल्यास काम आपोआप संग्रहित करते. <learnMoreLink>अधिक जाणून घ्या</learnMoreLink>","settings.automations.dialog.title":"ऑटोमेशन तयार करा","settings.automations.executionCopy.git":"ऑटोमेशन समर्पित वर्कट्रीजवर पार्श्वभूमीमध्ये चालतात.","settings.automations.executionCopy.nonGit":"गैर-आवृत्ती-नियंत्रित प्रोजेक्ट्समधील ऑटोमेशन थेट प्रोजेक्ट डायरेक्टरीमध्ये चालतात. पार्श्वभूमीतील वर्कट्रीजवर चालवणे सक्षम करण्यासाठी Git वापरण्याचा विचार करा.","settings.automations.executionEnvironment.local":"स्थानिक","settings.automations.executionEnvironment.worktree":"वर्कट्री","settings.automations.loading":"लोड करत आहे…","settings.automations.nameLabel":"नाव","settings.automations.namePlaceholder":"Sentry च्या समस्या तपासा","settings.automations.pause":"थांबवा","settings.automations.promptLabel":"प्रॉम्प्ट","settings.automations.promptPlaceholder":"$Sentry मध्ये क्रॅश शोधा","settings.automations.resume":"पुन्हा सुरू करा","settings.automations.rruleSummaryFallback":"सानुकूल शेड्यूल","settings.automations.runNow":"चाचणी","settings.automations.save":"जतन करा","settings.automations.scheduleBadge.dayCount":"{count}दि","settings.automations.scheduleBadge.interval":"{count}ता","settings.automations.scheduleBadge.weekdays":"आठवड्याच्या दिवशी","settings.automations.scheduleBadge.weekends":"वीकेंडमध्ये","settings.automations.scheduleHeader":"शेड्यूल","settings.automations.scheduleHours":"तास","settings.automations.scheduleLabel":"प्रत्येक एवढ्या वेळाने चालवा","settings.automations.scheduleMode.daily":"दररोज","settings.automations.scheduleMode.interval":"मधला काळ","settings.automations.scheduleModeLabel":"शेड्यूलचा प्रकार","settings.automations.scheduleSummary.daily":"रोज {time} वाजता","settings.automations.scheduleSummary.interval":"दर {count}तासाने","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {=0 # दिवस} other {इतर # दिवस}}","settings.automations.scheduleSummary.intervalDays":"{days} नी {interval}","settings.automations.scheduleSummary.intervalHourly":"दर तास","settings.automations.scheduleSummary.singleDay":"{day} रोजी {time} वाजता","settings.automations.scheduleSummary.weekdays":"आठवड्याच्या दिवशी {time} वाजता","settings.automations.scheduleSummary.weekdaysLabel":"आठवड्याच्या दिवशी","settings.automations.scheduleSummary.weekends":"आठवड्याच्या शेवटी {time} वाजता","settings.automations.scheduleSummary.weekendsLabel":"आठवड्याच्या शेवटी","settings.automations.scheduleSummary.weekly":"{days} रोजी {time} वाजता","settings.automations.scheduleWeekdays":"चालू","settings.automations.weekdayState.excluded":"वगळलेले","settings.automations.weekdayState.included":"समाविष्ट केलेले","settings.conversationDetail.steps":"पायऱ्या","settings.conversationDetail.steps.description":"कमांड आणि आउटपुट लपवा","settings.conversationDetail.stepsWithCommands":"कोड कमांडसह पायऱ्या","settings.conversationDetail.stepsWithCommands.description":"कमांड दाखवा, आउटपुट कोलॅप्स करा","settings.conversationDetail.stepsWithOutput":"कोड आउटपुटसह पायऱ्या","settings.conversationDetail.stepsWithOutput.description":"कमांड दाखवा आणि आउटपुट मोठा करा","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"संग्रहित चॅट्स नाहीत.","settings.dataControls.archivedChats.error":"संग्रहित चॅट लोड करता आले नाहीत.","settings.dataControls.archivedChats.loading":"संग्रहित चॅट्स लोड करत आहे...","settings.dataControls.archivedChats.unarchive":"आर्काइव्हमधून काढा","settings.dataControls.archivedChats.unarchiveError":"चॅट असंग्रहित करणे अयशस्वी झाले","settings.dataControls.archivedChats.unarchiveSuccess":"असंग्रहित थ्रेड. <viewNowLink>आता पहा</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"असंग्रहित थ्रेड.","settings.dataControls.archivedChats.untitled":"विनाशीर्षक चॅट","settings.dataControls.archivedChats.viewNow":"आता पहा","settings.editRow.headerPlaceholder":"की","settings.editRow.removeEntry":"एंट्री काढून टाका","settings.editRow.valuePlaceholder":"मूल्य","settings.general.appearance":"देखावा","settings.general.appearance.codeFont":"कोडचा फाँट","settings.general.appearance.codeFont.description":"चॅट्स आणि डिफ्समध्ये कोडसाठी वापरलेला फाँट आणि आकार बदला","settings.general.appearance.codeFontFamily":"कोड फाँट गट","settings.general.appearance.codeFontSize":"कोडच्या फाँटचा आकार","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"विंडोजना सिस्टमच्या पारदर्शकतेऐवजी ठोस पार्श्वभूमी वापरायला लावा","settings.general.appearance.opaqueWindows.label":"अपारदर्शक विंडो पार्श्वभूमी वापरा","settings.general.appearance.sansFontFamily":"Sans फाँट गट","settings.general.appearance.sansFontFamily.description":"कोडेक्स UI साठी वापरलेल्या फाँटमध्ये बदल करा","settings.general.appearance.sansFontSize":"सान्स फाँट आकार","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark पहिल्यांदा चालवताना संपूर्ण विंडोमध्ये उत्सवाचे प्रभाव दाखवा","settings.general.appearance.sparkCelebrationEffects.label":"स्पार्क उत्सवाचे प्रभाव","settings.general.appearance.theme":"थीम","settings.general.appearance.theme.dark":"गडद","settings.general.appearance.theme.description":"हलका, गडद वापरा किंवा तुमच्या सिस्टमशी जुळवून घ्या","settings.general.appearance.theme.light":"हलके","settings.general.appearance.theme.system":"सिस्टम","settings.general.appearance.usePointerCursors.description":"इंटरॅक्टिव्ह घटकांवर होवर केल्यावर कर्सरला पॉइंटरमध्ये बदला","settings.general.appearance.usePointerCursors.label":"पॉइंटर कर्सर वापरा","settings.general.enterBehavior.description":"सक्षम केल्यावर, बहुरेखीय प्रॉम्प्ट पाठवण्यासाठी {modifierSymbol} + एंटर दाबावे लागेल.","settings.general.enterBehavior.label":"मोठे प्रॉम्प्ट्स पाठवण्यासाठी {modifierSymbol} + एंटर ची अट ठेवा","settings.general.experimentalFeatures":"प्रायोगिक वैशिष्ट्ये (बीटा)","settings.general.experimentalFeatures.empty":"कोणतीही बीटा प्रायोगिक वैशिष्ट्ये उपलब्ध नाहीत.","settings.general.experimentalFeatures.loading":"प्रायोगिक वैशिष्ट्ये लोड करत आहे…","settings.general.experimentalFeatures.restartNote":"प्रायोगिक वैशिष्ट्य बदल लागू करण्यासाठी Codex रीस्टार्ट करा","settings.general.experimentalFeatures.toggle":"{featureName} टॉगल करा","settings.general.followUpQueueMode.description":"कोडेक्स चालू असताना फॉलो अप्स रांगेत लावा किंवा सध्याचे रन स्टीअर करा. एका मेसेजसाठी याच्या उलट करण्यासाठी {invertFollowUpShortcutLabel} दाबा.","settings.general.followUpQueueMode.interrupt":"स्टीअर करा","settings.general.followUpQueueMode.label":"फॉलो अप कसा करावा","settings.general.followUpQueueMode.queue":"रांगेत ठेवा","settings.general.notifications":"नोटिफिकेशन्स","settings.general.power.preventSleepWhileRunning.description":"कोडेक्स एखादे थ्रेड चालवत असेल, तेव्हा तुमचा कॉम्प्युटर चालू ठेवा.","settings.general.power.preventSleepWhileRunning.label":"चालू असताना स्लीप मोडमध्ये जाणे टाळा","settings.git.branchPrefix.ariaLabel":"शाखा प्रीफिक्स","settings.git.branchPrefix.description":"कोडेक्समध्ये नवीन शाखा तयार करताना वापरला जाणारा प्रीफिक्स","settings.git.branchPrefix.label":"शाखा प्रीफिक्स","settings.git.branchPrefix.placeholder":"कोडेक्स/","settings.git.branchPrefix.save.error":"शाखा प्रीफिक्स जतन करा करता आला नाही","settings.git.branchPrefix.save.success":"जतन केलेला शाखा प्रीफिक्स","settings.git.commitInstructions.ariaLabel":"कमिट सूचना","settings.git.commitInstructions.description":"कमिट मेसेज जनरेशन प्रॉम्प्टमध्ये जोडले","settings.git.commitInstructions.label":"कमिट सूचना","settings.git.commitInstructions.placeholder":"कमिट मेसेज मार्गदर्शन जोडा...","settings.git.commitInstructions.save":"जतन करा","settings.git.commitInstructions.save.error":"कमिट सूचना जतन करण्यात अयशस्वी झाले","settings.git.commitInstructions.save.success":"कमिट सूचना जतन केल्या","settings.git.forcePush.ariaLabel":"नेहमी सक्तीने पुश करा","settings.git.forcePush.description":"कोडेक्सवरून पुश करताना --force-with-lease वापरा","settings.git.forcePush.label":"नेहमी सक्तीने पुश करा","settings.git.forcePush.save.disabled":"नेहमी सक्तीने पुश करणे अक्षम केले","settings.git.forcePush.save.enabled":"नेहमी सक्तीने पुश करणे सक्षम केले","settings.git.forcePush.save.error":"सक्तीने पुश करा सेटिंग जतन करता आले नाही","settings.git.prInstructions.ariaLabel":"पुल विनंती सूचना","settings.git.prInstructions.description":"कोडेक्सने तयार केलेल्या पुल विनंत्या बॉडीजमध्ये जोडल्या","settings.git.prInstructions.label":"पुल विनंती सूचना","settings.git.prInstructions.placeholder":"पुल विनंती मार्गदर्शन जोडा...","settings.git.prInstructions.save":"जतन करा","settings.git.prInstructions.save.error":"पुल विनंती सूचना जतन करण्यात अयशस्वी","settings.git.prInstructions.save.success":"पुल विनंती सूचना जतन केल्या","settings.ide.defaultOpenTarget.description":"जिथे फाइल्स आणि फोल्डर्स डीफॉल्टनुसार उघडतात","settings.ide.defaultOpenTarget.label":"उघडण्याचे डीफॉल्ट डेस्टिनेशन्स","settings.ide.defaultOpenTarget.placeholder":"लक्ष्य सापडले नाही","settings.ide.language.auto":"स्वयं-शोध","settings.ide.language.autoOption":"स्वयं-शोध","settings.ide.language.description":"अ‍ॅपच्या UI ची भाषा","settings.ide.language.label":"भाषा","settings.ide.language.search":"भाषा शोधा","settings.layout.actionButton":"विस्तार पुन्हा सुरू करा","settings.layout.actionTitle":"क्रियेसह सेटिंग्ज","settings.layout.fullWidthTitle":"सेटिंग्ज (संपूर्ण रुंदी)","settings.layout.title":"सेटिंग्ज","settings.localEnvironments.actions.add":"क्रिया जोडा","settings.localEnvironments.actions.add.description":"टूलबारमधून चालवण्यासाठी एक नवीन कमांड तयार करा.","settings.localEnvironments.actions.add.save":"जतन करा","settings.localEnvironments.actions.empty":"स्थानिक टूलबारवरून कमांड चालवण्यासाठी एक क्रिया जोडा.","settings.localEnvironments.actions.icon.debug":"डीबग करा","settings.localEnvironments.actions.icon.run":"चालवा","settings.localEnvironments.actions.icon.test":"चाचणी","settings.localEnvironments.actions.icon.tool":"साधन","settings.localEnvironments.actions.item.button.delete":"हटवा","settings.localEnvironments.actions.item.command":"क्रियेची स्क्रिप्ट","settings.localEnvironments.actions.item.name":"नाव","settings.localEnvironments.actions.item.platforms":"प्लॅटफॉर्म","settings.localEnvironments.actions.item.platforms.help":"केवळ विशिष्ट OS म्हणून चालवा.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"प्लॅटफॉर्म निवड","settings.localEnvironments.actions.item.platforms.specific":"प्लॅटफॉर्म विशिष्ट","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"हटवा","settings.localEnvironments.actions.title":"क्रिया","settings.localEnvironments.breadcrumb.back":"मागे","settings.localEnvironments.breadcrumb.edit":"एडिट करा","settings.localEnvironments.breadcrumb.root":"पर्यावरणे","settings.localEnvironments.environment.actions.description":"या क्रिया कोणत्याही कमांड चालवू शकतात आणि हेडरमध्ये दाखवल्या जातील.","settings.localEnvironments.environment.actionsLabel":"क्रिया","settings.localEnvironments.environment.create":"स्थानिक पर्यावरण तयार करा","settings.localEnvironments.environment.defaultName":"स्थानिक","settings.localEnvironments.environment.edit":"स्थानिक पर्यावरण संपादित करा","settings.localEnvironments.environment.empty":"या प्रोजेक्टसाठी अद्याप कोणतेही स्थानिक पर्यावरण कॉन्फिगर केलेले नाही.","settings.localEnvironments.environment.name":"नाव","settings.localEnvironments.environment.setup":"सेटअप स्क्रिप्ट","settings.localEnvironments.environment.setup.description":"ही स्क्रिप्ट वर्कट्री तयार केल्यानंतर चालेल.","settings.localEnvironments.environment.setup.hint":"प्रोजेक्टच्या रूटमध्ये चालते.","settings.localEnvironments.environment.setup.platformOverrides":"प्लॅटफॉर्म ओव्हरराइड्स","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} सेटअप स्क्रिप्ट जोडा","settings.localEnvironments.environment.setup.platformOverrides.description":"विशिष्ट OS साठी डीफॉल्ट स्क्रिप्ट ओव्हरराइड करते.","settings.localEnvironments.environment.setup.platformOverrides.remove":"काढून टाका","settings.localEnvironments.environment.setup.script":"स्क्रिप्ट","settings.localEnvironments.environment.title":"पर्यावरण तपशील","settings.localEnvironments.file.missing":"ही फाइल पहिल्यांदा तयार करण्यास जतन करा.","settings.localEnvironments.file.parseError":"अस्तित्वात असलेली फाइल पार्स करणे शक्य नाही. जतन केल्याने ती ओव्हरराइट होईल. ({error})","settings.localEnvironments.file.path":"फाइल: {path}","settings.localEnvironments.file.readError":"स्थानिक पर्यावरण डेटा लोड करणे शक्य नाही. ({error})","settings.localEnvironments.file.title":"स्थानिक पर्यावरण फाइल","settings.localEnvironments.loading.body":"तुमचे प्रोजेक्ट कॉन्फिगरेशन मिळवत आहे.","settings.localEnvironments.loading.title":"स्थानिक पर्यावरण लोड करत आहे","settings.localEnvironments.preview.devOnly":"(केवळ DEV)","settings.localEnvironments.preview.save":"जतन करा","settings.localEnvironments.preview.saveError":"फाइल जतन करणे अयशस्वी झाले. ({error})","settings.localEnvironments.preview.title":"पूर्वावलोकन","settings.localEnvironments.save.disabled.name":"जतन करण्यासाठी पर्यावरणाचे नाव जोडा.","settings.localEnvironments.save.disabled.noChanges":"जतन करण्यासाठी कोणतेही बदल नाहीत.","settings.localEnvironments.save.disabled.saving":"जतन करत आहे…","settings.localEnvironments.save.success":"जतन केलेले स्थानिक पर्यावरण","settings.localEnvironments.unavailable.body":"आम्ही या प्रोजेक्टसाठी स्थानिक पर्यावरण सेटिंग्ज लोड करू शकलो नाही.","settings.localEnvironments.unavailable.title":"स्थानिक पर्यावरण उपलब्ध नाहीत","settings.localEnvironments.workspace.add":"प्रोजेक्ट जोडा","settings.localEnvironments.workspace.title":"प्रोजेक्ट","settings.localEnvironments.workspaceSelect.addLabel":"पर्यावरण जोडा","settings.localEnvironments.workspaceSelect.description":"स्थानिक पर्यावरणे कोडेक्सला प्रोजेक्टसाठी वर्कट्रीज कसे सेट अप करायचे हे सांगतात. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"अद्याप कोणतेही प्रोजेक्ट नाहीत. स्थानिक पर्यावरण कॉन्फिगर करण्यासाठी एक प्रोजेक्ट जोडा.","settings.localEnvironments.workspaceSelect.errorLabel":"पर्यावरणासाठी लक्ष देणे गरजेचे आहे","settings.localEnvironments.workspaceSelect.learnMore":"अधिक जाणून घ्या","settings.localEnvironments.workspaceSelect.listLabel":"उपलब्ध प्रोजेक्ट","settings.localEnvironments.workspaceSelect.loading":"प्रोजेक्ट लोड करत आहे.","settings.localEnvironments.workspaceSelect.loadingLabel":"पर्यावरण लोड करत आहे","settings.localEnvironments.workspaceSelect.title":"एक प्रोजेक्ट निवडा","settings.localEnvironments.workspaceSelect.viewAction":"पहा","settings.mcp.addServer":"सर्व्हर जोडा","settings.mcp.app.configure":"कॉन्फिगर करा","settings.mcp.app.connect":"कनेक्ट करा","settings.mcp.apps.refresh":"रिफ्रेश करा","settings.mcp.detail.addArgument":"आर्ग्युमेंट जोडा","settings.mcp.detail.addEnvVar":"पर्यावरणाचे व्हेरिएबल जोडा","settings.mcp.detail.addEnvVarPassthrough":"व्हेरिएबल जोडा","settings.mcp.detail.args":"आर्ग्युमेंट्स","settings.mcp.detail.back":"मागे","settings.mcp.detail.command":"लाँच करण्याची कमांड","settings.mcp.detail.cwd":"कार्यरत डायरेक्टरी","settings.mcp.detail.docs":"MCP दस्तऐवज उघडा","settings.mcp.detail.docs.link":"दस्तऐवज","settings.mcp.detail.envVarPassthrough":"पर्यावरण व्हेरिएबल पासथ्रू","settings.mcp.detail.envVars":"पर्यावरणाचे व्हेरिएबल्स","settings.mcp.detail.http.addEnvHeader":"व्हेरिएबल जोडा","settings.mcp.detail.http.addHeader":"हेडर जोडा","settings.mcp.detail.http.bearerToken":"बेअरर टोकन पर्यावरण व्हेरिएबल","settings.mcp.detail.http.envHeaders":"पर्यावरण व्हेरिएबल्समधून हेडर्स","settings.mcp.detail.http.headers":"हेडर्स","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"नाव","settings.mcp.detail.save":"जतन करा","settings.mcp.detail.switchTransportNotice":"तुम्हाला MCP सर्व्हरचा प्रकार बदलायचा असेल, तर कृपया आधी अनइंस्टॉल करा.","settings.mcp.detail.titleExisting":"{name} MCP अद्ययावत करा","settings.mcp.detail.titleNew":"सानुकूलित MCP ला कनेक्ट करा","settings.mcp.detail.transport.http":"स्ट्रीम करण्यायोग्य HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"अनइंस्टॉल करा","settings.mcp.empty":"कोणतेही सानुकूलित MCP सर्व्हर कनेक्ट केलेले नाहीत","settings.mcp.myServers":"सानुकूलित सर्व्हर्स","settings.mcp.partnerServer.description.figma":"संपूर्ण Figma संदर्भ आणून अधिक चांगला कोड तयार करा","settings.mcp.partnerServer.description.github":"वर्कफ्लो ऑटोमेट करण्यासाठी आणि डेटा काढण्यासाठी GitHub API सह इंटीग्रेट करा","settings.mcp.partnerServer.description.linear":"Linear च्या समस्या ट्रॅकिंग आणि प्रोजेक्ट व्यवस्थापनासह इंटीग्रेट करा","settings.mcp.partnerServer.description.notion":"दस्तऐवज वाचा, पेजेस अद्ययावत करा, कामे व्यवस्थापित करा","settings.mcp.partnerServer.description.playwright":"डिझाइन अंमलात आणण्यासाठी आणि UI ची चाचणी करण्यासाठी ब्राउझर ऑटोमेशन इंटीग्रेट करा.","settings.mcp.partnerServer.install":"इंस्टॉल करा","settings.mcp.partnerServer.installAndAuthenticate":"इन्स्टॉल करा आणि प्रमाणीकृत करा","settings.mcp.partnerServer.logoAlt":"{label} लोगो","settings.mcp.partnerServer.manage":"व्यवस्थापित करा","settings.mcp.partnerServer.vendor":"{vendor} द्वारे","settings.mcp.recommendedServers":"शिफारस केलेले सर्व्हर्स","settings.mcp.restartApp":"पुन्हा सुरू करा","settings.mcp.restartExtension":"विस्तार पुन्हा सुरू करा","settings.mcp.server.enable":"सक्षम करा","settings.mcp.server.login":"प्रमाणीकृत करा","settings.mcp.server.settings":"सेटिंग्ज","settings.multiselect.createOption":"“{value}” तयार करा","settings.multiselect.removeOption":"काढून टाका","settings.nav.account":"खाते","settings.nav.agent":"कॉन्फिगरेशन","settings.nav.ariaLabel":"सेटिंग्ज","settings.nav.back":"ॲपकडे परत","settings.nav.data-controls":"संग्रहित थ्रेड","settings.nav.environments":"क्लाउड पर्यावरणे","settings.nav.externalTooltip":"[alpha] ब्राउझरमध्ये उघडते","settings.nav.general-settings":"सामान्य","settings.nav.git-settings":"Git","settings.nav.local-environments":"पर्यावरणे","settings.nav.mcp-settings":"MCP सर्व्हर","settings.nav.notImplemented":"[alpha] Alpha मध्ये उपलब्ध नाही","settings.nav.personalization":"वैयक्तिकरण","settings.nav.skills-settings":"कौशल्ये","settings.nav.usage-analytics":"वापर आणि विश्लेषण","settings.nav.worktrees":"वर्कट्रीज","settings.openSourceLicenses.back":"मागे","settings.openSourceLicenses.loading":"लोड करत आहे…","settings.openSourceLicenses.missing":"कोणत्याही तृतीय पक्ष सूचना आढळल्या नाहीत.","settings.openSourceLicenses.notSupported":"या होस्टमध्ये उपलब्ध नाही.","settings.openSourceLicenses.rowDescription":"बंडल केलेल्या निर्भरतांसाठी तृतीय पक्ष सूचना","settings.openSourceLicenses.rowLabel":"ओपन सोर्स परवाने","settings.openSourceLicenses.subtitle":"या ॲपमधील निर्भरतांसाठी तृतीय पक्ष सूचना","settings.openSourceLicenses.title":"ओपन सोर्स परवाने","settings.openSourceLicenses.view":"पहा","settings.personalization.agents.description":"तुमच्यासाठी कोडेक्स सुसंगत करण्यासाठी सूचना संपादित करा. {learnMore}","settings.personalization.agents.learnMore":"अधिक जाणून घ्या","settings.personalization.agents.loadError":"agents.md लोड करणे शक्य नाही","settings.personalization.agents.loading":"agents.md लोड करत आहे…","settings.personalization.agents.placeholder":"तुमच्या सानुकूल सूचना जोडा...","settings.personalization.agents.retry":"पुन्हा प्रयत्न करा","settings.personalization.agents.save":"जतन करा","settings.personalization.agents.save.error":"agents.md जतन करणे शक्य नाही","settings.personalization.agents.save.success":"जतन केलेले agents.md","settings.personalization.agents.title":"सानुकूल सूचना","settings.personalization.personality.description":"कोडेक्स प्रतिसादांसाठी डीफॉल्ट टोन निवडा","settings.personalization.personality.label":"व्यक्तिमत्व","settings.sample.contentBody":"तुमच्या सेटिंग्ज पॅनल्स एकसारख्या स्पेसिंगने तयार करण्यासाठी या लेआउटचा वापर करा.","settings.sample.contentTitle":"नमुना काँटेंट ब्लॉक","settings.section.account":"खाते","settings.section.agent":"कॉन्फिगरेशन","settings.section.data-controls":"संग्रहित थ्रेड","settings.section.environments":"क्लाउड पर्यावरणे","settings.section.external":"Alpha दरम्यान तुमच्या ब्राउझरमध्ये उघडते","settings.section.general-settings":"सामान्य","settings.section.git-settings":"Git","settings.section.local-environments":"पर्यावरणे","settings.section.mcp-settings":"MCP सर्व्हर","settings.section.mcp-settings.docs":"दस्तऐवज","settings.section.mcp-settings.subtitle":"बाह्य टूल्स आणि डेटा स्रोत कनेक्ट करा.","settings.section.personalization":"वैयक्तिकरण","settings.section.skills-settings":"कौशल्ये","settings.section.unavailable":"अद्याप Alpha मध्ये उपलब्ध नाही","settings.section.usage-analytics":"वापर आणि विश्लेषण","settings.section.worktrees":"वर्कट्रीज","settings.threadDetail.description":"थ्रेडमध्ये किती कमांड आउटपुट दाखवायचे ते निवडा","settings.threadDetail.label":"थ्रेडचा तपशील","settings.worktrees.conversation.untitled":"विनाशीर्षक संभाषण","settings.worktrees.delete.error":"वर्कट्री हटवता आला नाही","settings.worktrees.empty.body":"Codex द्वारे तयार केलेल्या वर्कट्री येथे दिसतील.","settings.worktrees.empty.title":"अद्याप कोणतेही वर्कट्री नाहीत","settings.worktrees.error.body":"वर्कट्री लोड करताना काहीतरी चूक झाली.","settings.worktrees.error.retry":"पुन्हा प्रयत्न करा","settings.worktrees.error.title":"वर्कट्री लोड करता आले नाही","settings.worktrees.loading.body":"वर्कट्रीचे तपशील मिळवत आहे.","settings.worktrees.loading.title":"वर्कट्रीज लोड करत आहे","settings.worktrees.repository.loading":"रिपॉझिटरी मेटाडेटा लोड करत आहे…","settings.worktrees.repository.unknown":"अज्ञात रिपॉझिटरी","settings.worktrees.row.conversations":"संभाषणे","settings.worktrees.row.conversations.empty":"या वर्कट्रीशी कोणतीही संभाषणे जोडलेली नाहीत.","settings.worktrees.row.conversations.loading":"संभाषणे लोड करत आहे…","settings.worktrees.row.delete":"हटवा","settings.worktrees.row.title":"वर्कट्री","sidebarElectron.addWorkspaceRoot":"नवीन प्रोजेक्ट जोडा","sidebarElectron.archiveThread":"थ्रेड संग्रहित करा","sidebarElectron.archiveThreadError":"थ्रेड संग्रहित करता आला नाही","sidebarElectron.collapseFolder":"फोल्डर लहान करा","sidebarElectron.createStableWorktree.dialog.cancel":"रद्द करा","sidebarElectron.createStableWorktree.dialog.create":"तयार करा","sidebarElectron.debugNavLink":"डीबग करा","sidebarElectron.editWorkspaceRootOptionName":"नाव एडिट करा","sidebarElectron.expandFolder":"फोल्डर विस्तृत करा","sidebarElectron.groupByMenu.recency":"कालक्रमानुसार यादी","sidebarElectron.groupByMenu.title":"व्यवस्थित करा","sidebarElectron.groupByMenu.workspace":"प्रोजेक्टद्वारे","sidebarElectron.inboxRouteNavLink":"ऑटोमेशन्स","sidebarElectron.markThreadUnread":"न वाचलेले म्हणून चिन्हांकित करा","sidebarElectron.missingWorkspaceRoot":"हे प्रोजेक्ट फोल्डर हटवले किंवा हलवले गेले आहे","sidebarElectron.newThread":"नवीन थ्रेड","sidebarElectron.newThreadInGroup":"{folder} मध्ये नवीन थ्रेड सुरू करा","sidebarElectron.noRecentThreads":"अलीकडील थ्रेड्स नाहीत","sidebarElectron.noTasks":"थ्रेड नाहीत","sidebarElectron.noTasks.start":"एक नवीन प्रोजेक्ट जोडा","sidebarElectron.noTasksWithFilter":"फिल्टर्ससोबत कोणतीही थ्रेड जुळत नाहीत","sidebarElectron.pinnedThreads":"पिन केलेले थ्रेड्स","sidebarElectron.recentNavLink":"थ्रेड","sidebarElectron.recentThreads":"अलीकडील थ्रेड्स","sidebarElectron.removeWorkspaceRootOption":"काढून टाका","sidebarElectron.renameThread":"थ्रेडचे नाव बदला","sidebarElectron.renameThreadDialogAriaLabel":"थ्रेड शीर्षक","sidebarElectron.renameThreadDialogCancel":"रद्द करा","sidebarElectron.renameThreadDialogPlaceholder":"एक शीर्षक जोडा...","sidebarElectron.renameThreadDialogSave":"जतन करा","sidebarElectron.renameThreadDialogSubtitle":"ते लहान आणि ओळखण्यायोग्य ठेवा.","sidebarElectron.renameThreadDialogTitle":"थ्रेडचे नाव बदला","sidebarElectron.renameThreadError":"थ्रेडचे नाव बदलता आले नाही","sidebarElectron.renameWorkspaceRootOptionLabel":"डिस्प्ले नाव","sidebarElectron.showLess":"कमी दाखवा","sidebarElectron.showMenu.all":"सर्व थ्रेड","sidebarElectron.showMenu.relevant":"संबंधित","sidebarElectron.showMenu.relevantHint":"फक्त सध्याच्या शाखेसाठी आणि वर्कट्रीजसाठी अलीकडील थ्रेड्स किंवा तुमचे लक्ष देणे गरजेचे असलेले इतर थ्रेड्स दाखवा","sidebarElectron.showMenu.title":"दाखवा","sidebarElectron.showMenu.tooltip":"थ्रेड्स फिल्टर करा, क्रमवारी लावा आणि व्यवस्थित करा","sidebarElectron.showMenu.trigger":"साइडबार थ्रेड फिल्टर करा","sidebarElectron.showMore":"आणखी दाखवा","sidebarElectron.skillsRouteNavLink":"कौशल्ये","sidebarElectron.sortMenu.created":"तयार केले","sidebarElectron.sortMenu.title":"अशी क्रमवारी लावा","sidebarElectron.sortMenu.updated":"अद्यतनित केले","sidebarElectron.taskNavigation":"ऑटोमेशन फोल्डर्स","sidebarElectron.tasksInFolder":"{folder} मधील ऑटोमेशन्स","sidebarElectron.workspaceOptions":"{folder} साठी प्रोजेक्ट क्रिया","sidebarElectron.worktreeGroupTooltip":"हा git वर्कट्री आहे","skills.appsPage.createSkill":"नवीन कौशल्य","skills.appsPage.empty.skills":"कौशल्ये सापडली नाहीत","skills.appsPage.search.skills":"कौशल्ये शोधा","skills.appsPage.search.skills.label":"कौशल्ये शोधा","skills.appsPage.section.installedApps":"इंस्टॉल केले","skills.appsPage.section.skills":"कौशल्ये","skills.appsPage.subheading":"कोडेक्सला सुपरपॉवर द्या. <link>अधिक जाणून घ्या</link>","skills.appsPage.tab.recommended":"शिफारस केलेले","skills.appsPage.tab.skills":"कौशल्ये","skills.card.contentsError":"कौशल्य सामग्री लोड करणे शक्य नाही.","skills.card.disable":"अक्षम करा","skills.card.disableSuccess":"{skillName} कौशल्य अक्षम केले","skills.card.disabledBadge":"अक्षम केले","skills.card.enable":"सक्षम करा","skills.card.enableSuccess":"{skillName} कौशल्य सक्षम केले","skills.card.loadingContents":"कौशल्य सामग्री लोड करत आहे...","skills.card.more":"आणखी क्रिया","skills.card.open":"उघडा","skills.card.removeFailed":"कौशल्य अनइंस्टॉल करण्यात अयशस्वी","skills.card.removeSuccess":"{skillName} कौशल्य अनइंस्टॉल केले","skills.card.toggleEnabledError":"कौशल्य अद्यतनित करता आले नाही","skills.card.try":"वापरून पहा","skills.card.trySkill":"कौशल्य वापरून पहा","skills.card.uninstall":"अनइंस्टॉल करा","skills.hero.dotLabel":"स्लाइड {index} वर जा","skills.hero.next":"पुढील वैशिष्ट्यकृत कौशल्य","skills.hero.trySkill":"कौशल्य वापरून पहा","skills.page.createSkill":"नवीन कौशल्य","skills.page.empty":"कौशल्ये सापडली नाहीत","skills.page.filteredEmpty":"तुमच्या फिल्टरशी जुळणारी कौशल्ये नाहीत","skills.page.filteredEmptyDescription":"तुमचा शोध किंवा व्याप्ती फिल्टर्स समायोजित करण्याचा प्रयत्न करा","skills.page.heading":"कौशल्ये","skills.page.loading":"कौशल्ये लोड करत आहे…","skills.page.refreshSkills":"रिफ्रेश करा","skills.page.refreshSkillsToUseNew":"नवीन कौशल्य(कौशल्ये) वापरण्यासाठी रिफ्रेश करा","skills.page.search":"कौशल्ये शोधा","skills.page.search.label":"कौशल्ये शोधा","skills.page.subheading":"कोडेक्सला सुपरपॉवर द्या. <link>अधिक जाणून घ्या</link>","skills.preview.copyPrompt":"प्रॉम्प्ट कॉपी करा","skills.preview.examplePrompt":"उदाहरणासाठी प्रॉम्प्ट","skills.recommended.error":"सुचवलेली कौशल्ये लोड करणे शक्य नाही","skills.recommended.install":"इंस्टॉल करा","skills.recommended.installSkill":"कौशल्य इंस्टॉल करा","skills.recommended.installSuccess":"{skillName} कौशल्य इंस्टॉल केले","skills.recommended.installed":"इंस्टॉल केले","skills.scope.admin":"ॲडमिन","skills.scope.adminInstalled":"ॲडमिन स्थापित केले","skills.scope.builtIn":"सिस्टम","skills.scope.personal":"वैयक्तिक","skills.scope.repo":"रिपॉझिटरी","skills.scope.system":"सिस्टम","skills.scope.team":"टीम","skills.scope.user":"वापरकर्ता","skills.section.installed":"इंस्टॉल केले","skills.section.recommended":"शिफारस केलेले","story.slidingToggle.existing":"विद्यमान","story.slidingToggle.fromLocal":"स्थानिक वरून","story.slidingToggle.new":"नवीन","story.slidingToggle.toLocal":"स्थानिक वर","terminal.close":"टर्मिनल बंद करा","terminal.title":"टर्मिनल","thinkingShimmer.default":"विचार करत आहे","threadEnvIcon.cloudTooltip":"हे संभाषण कोडेक्स क्लाउडमध्ये सुरू आहे.","threadEnvIcon.localTooltip":"हे संभाषण स्थानिक पातळीवर सुरू आहे.","threadEnvIcon.worktreeTooltip":"हे संभाषण स्थानिक git वर्कट्रीमध्ये सुरू आहे.","threadHeader.archiveConfirmCancel":"रद्द करा","threadHeader.archiveConfirmConfirm":"संग्रहित करा","threadHeader.archiveConfirmSubtitle":"तुम्ही याला नंतर तुमच्या संग्रहित थ्रेड्समध्ये शोधू शकता.","threadHeader.archiveConfirmTitle":"थ्रेड संग्रहित करायचा?","threadHeader.copyAppLink":"डीपलिंक कॉपी करा","threadHeader.copySessionId":"सत्र आयडी कॉपी करा","threadHeader.copyWorkingDirectory":"कार्यरत डायरेक्टरी कॉपी करा","threadHeader.forkIntoLocal":"स्थानिकमध्ये फोर्क करा","threadHeader.forkIntoWorktree":"नवीन वर्कट्रीमध्ये फोर्क करा","threadHeader.forkPendingWorktreePrompt":"हे संभाषण नवीन वर्कट्रीमध्ये फोर्क करा.","threadHeader.forkPendingWorktreeTitle":"फोर्क केलेले संभाषण","threadHeader.forkThreadError":"थ्रेड फोर्क करता आला नाही","threadHeader.forkThreadRequiresGitRepo":"नवीन वर्कट्रीमध्ये फोर्क करण्यासाठी git रिपॉझिटरी आवश्यक आहे","threadHeader.moreActions":"थ्रेड-संबंधी क्रिया","threadPage.newThread":"नवीन थ्रेड","threadPage.runAction.changeEnvironment":"पर्यावरण बदला","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} क्रिया","threadPage.runAction.environmentSelector.label":"पर्यावरण निवडा","threadPage.runAction.label":"चालवा","threadPage.runAction.missing.label":"चालवण्याची क्रिया सेट अप करा","threadPage.runAction.setup.commandLabel":"चालवण्याची कमांड","threadPage.runAction.setup.description":"डिपेंडंसी कशा स्थापित करायच्या आणि तुमचे ॲप सुरू करायचे ते कोडेक्सला सांगा.","threadPage.runAction.setup.editMore":"पर्यावरणाच्या सेटिंग्ज","threadPage.runAction.setup.placeholder":"उदा: npm स्थापित करा npm चालवा","threadPage.runAction.setup.submit":"जतन करा आणि चालवा","threadPage.runAction.setup.title":"चालवा","threadPage.runAction.tooltip.withEnvironment":"{environmentName} क्रिया","threadPage.toggleDiffPanel":"डिफ पॅनल टॉगल करा","threadPage.toggleTerminal":"टर्मिनल टॉगल करा","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"फोल्डर उघडा","toolSummaryForCmd.exploredFiles":"<verb>ने </verb> फाइल्स लिस्ट केल्या","toolSummaryForCmd.exploredFilesInPath":"ने  मध्ये {path} मधील फाइल्स <verb>लिस्ट केल्या</verb>","toolSummaryForCmd.exploringFiles":"फाइल्स <verb>लिस्ट करत</verb> आहे","toolSummaryForCmd.exploringFilesInPath":"{path} मध्ये मधील फाइल्स <verb>लिस्ट करत</verb> आहे","toolSummaryForCmd.ranGenericCommand":"<status>रॅन कमांड</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>चालवले</status> {command}{timer}","toolSummaryForCmd.read":"{path} <verb>वाचले</verb>","toolSummaryForCmd.runningGenericCommand":"<status>चालू कमांड</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} यासाठी","toolSummaryForCmd.searchedFor":"ने {query} साठी <verb>शोधले</verb>","toolSummaryForCmd.searchedForFiles":"ने फाइल्ससाठी <verb>शोधले</verb>","toolSummaryForCmd.searchedForInPath":"<verb>{path} मध्ये {query} साठी शोधले</verb>","toolSummaryForCmd.searchingFor":"{query} साठी <verb>शोधत आहे</verb>","toolSummaryForCmd.searchingForFiles":"फाइल्ससाठी <verb>शोधत आहे</verb>","toolSummaryForCmd.searchingForInPath":"{query} साठी {path} मध्ये <verb>शोधत आहे</verb>","traceRecording.details.noteLabel":"हे घडले तेव्हा तुम्ही काय करत होता? (पर्यायी)","traceRecording.details.notePlaceholder":"एका मोठ्या थ्रेडवर नेव्हिगेट केले, नंतर टॅब वारंवार बदलले…","traceRecording.details.submit":"ट्रेस पाठवा","traceRecording.details.subtitle":"कार्यक्षमतेच्या समस्यांचे निदान करण्यात मदत करण्यासाठी आम्ही हा प्रोफाइल ट्रेस पाठवू शकतो.","traceRecording.details.title":"प्रोफाइल ट्रेस पाठवायचा?","traceRecording.progress.subtitle":"हे पूर्ण होईपर्यंत कोडेक्स उघडे ठेवा.","traceRecording.saving.title":"ट्रेस जतन करत आहे…","traceRecording.startDetails.cancel":"रद्द करा","traceRecording.startDetails.submit":"ठीक आहे, रेकॉर्डिंग सुरू करा","traceRecording.startDetails.subtitle":"तुम्ही ठीक आहे वर क्लिक केल्यानंतर, कार्यप्रदर्शनाची समस्या पुन्हा उत्पन्न करा, त्यानंतर थांबून ट्रेसचे पुनरावलोकन करण्यासाठी तरंगत्या लाल इंडिकेटरवर क्लिक करा.","traceRecording.startDetails.title":"ट्रेस रेकॉर्डिंग कसे काम करते","traceRecording.stopButton.ariaLabel":"ट्रेस रेकॉर्डिंग थांबवा","traceRecording.upload.successToast":"प्रोफाइल ट्रेस पाठवला.","traceRecording.uploading.title":"ट्रेस अपलोड करत आहे…","wham.diff.addComment":"कॉमेंट जोडा","wham.diff.binaryFile":"बायनरी फाइल दाखवली नाही","wham.diff.noContent":"काँटेंट नाही","wham.fileTag.deleted":"हटवले","wham.fileTag.new":"नवीन","wham.formattedRelativeDateTime.compactDaysAgo":"{value}दि","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ता","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}मि","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}म","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}आ","wham.formattedRelativeDateTime.compactYearsAgo":"{value}व","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"तुमचे काम करत आहे","wham.whamProposedTask.title":"सुचवलेले काम","wham.whamProposedTask.useSuggestion":"सूचना वापरा","workspaceRootDialog.addError":"प्रोजेक्ट जोडता आला नाही","workspaceRootDialog.cancel":"रद्द करा","workspaceRootDialog.confirmAdd":"प्रोजेक्ट जोडा","workspaceRootDialog.confirmPick":"प्रोजेक्ट वापरा","workspaceRootDialog.description":"प्रोजेक्ट म्हणून वापरण्यासाठी {host} वर एक पथ टाका.","workspaceRootDialog.pathLabel":"प्रोजेक्टचा पथ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"प्रोजेक्टचा पथ जोडा","workspaceRootDialog.title.pick":"प्रोजेक्टचा पथ निवडा","worktreeInitV2.cancel":"रद्द करा","worktreeInitV2.notification.failedTitle":"वर्कट्री सेटअप अपयशी झाले","worktreeInitV2.output.empty":"आउटपुटची वाट पाहत आहे…","worktreeInitV2.status.error":"वर्कट्री सेटअप अपयशी झाले.","worktreeInitV2.status.running":"वर्कट्री तयार करून सेटअप चालवत आहे.","worktreeInitV2.status.runningFork":"हे संभाषण फोर्क करण्यासाठी वर्कट्री तयार करत आहे.","worktreeInitV2.status.success":"वर्कट्री तयार आहे.","worktreeInitV2.title":"वर्कट्री तयार करत आहे","worktreeInitV2.workLocallyInstead":"त्याऐवजी स्थानिक पातळीवर काम करा","worktreeRestoreBanner.body":"डिस्क स्पेस वाचवण्यासाठी या थ्रेडचे वर्कट्री काढून टाकले आहे.","worktreeRestoreBanner.missing.body":"या थ्रेडची वर्किंग डायरेक्टरी आता अस्तित्वात नाही","worktreeRestoreBanner.missing.title":"सध्याची वर्किंग डायरेक्टरी उपलब्ध नाही","worktreeRestoreBanner.restore.error":"वर्कट्री रिस्टोर करता आले नाही: {message}","worktreeRestoreBanner.restore.success":"वर्कट्री रिस्टोर केले","worktreeRestoreBanner.restoreCta":"वर्कट्री रिस्टोर करा","worktreeRestoreBanner.title":"वर्कट्री साफ केले"};export{e as default};
+const e={"CopyButton.copyTooltip":"कॉपी करा","app.sidebar.hide":"साइडबार लपवा","app.sidebar.show":"साइडबार दाखवा","app.sidebar.tooltip":"साइडबार टॉगल करा","appHeader.installUpdate":"अद्यतनित करा","appSunset.body":"अ‍ॅपच्या ही आवृत्तीसाठी यापुढे सपोर्ट नाही. कृपया नवीनतम आवृत्ती <here>येथून</here> डाउनलोड करा.","appSunset.title":"अपडेट करणे गरजेचे आहे","automation.updateDirective.create":"तयार करा","automation.updateDirective.open":"उघडा","automation.updateDirective.untitled":"विनाशीर्षक ऑटोमेशन","automation.updateDirective.update":"अद्यतनित करा","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# प्रयत्न} other {# प्रयत्न}}","cloudTaskRow.archiveError":"काम संग्रहित करता आले नाही","code.diff.requestChange":"बदलाची विनंती करा","code.diffComment.cancel":"रद्द करा","code.diffComment.comment":"कॉमेंट","code.diffComment.delete":"हटवा","code.diffComment.save":"जतन करा","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"कोणतेही परिणाम नोंदवले गेले नाहीत.","codex.alert.closeAriaLabel":"बंद करा","codex.appUpsellBanner.cbpApi.message":"कोडेक्स ॲपसह अधिक जलद तयार करा. आता डाउनलोड करा किंवा {learnMoreLink}.","codex.appUpsellBanner.download":"डाउनलोड करा","codex.appUpsellBanner.freeGo.message":"कोडेक्स तुमच्या योजनेत 2 मार्चपर्यंत समाविष्ट आहे. अधिक जलद निर्मिती करण्यासाठी कोडेक्स ॲप वापरून पहा.","codex.appUpsellBanner.later":"नंतर","codex.appUpsellBanner.learnMoreLowercase":"अधिक जाणून घ्या","codex.appUpsellBanner.new":"नवीन","codex.appUpsellBanner.proPlusBusiness.message":"2 एप्रिलपर्यंत 2x दर मर्यादेसह कोडेक्स ॲप वापरून पहा. आता डाउनलोड करा किंवा {learnMoreLink}.","codex.appUpsellBanner.title":"कोडेक्स ॲप","codex.applyDropdown.header.changes":"बदल","codex.applyDropdown.header.fileCount":"{count, plural, one {# फाइल} other {# फाइल्स}}","codex.applyDropdown.header.rows":"ओळी","codex.applyDropdown.header.title":"बदल लागू करा","codex.applyDropdown.header.workspace":"प्रोजेक्ट","codex.applyDropdown.results.conflicted":"{count, plural, one {1 फाइल विवादित:} other {{count} फाइल्स विवादित:}}","codex.applyDropdown.results.empty":"एकही फाइल कॉपी केली नाही","codex.applyDropdown.results.skipped":"{count, plural, one {1 फाइल वगळली:} other {{count} फाइल्स वगळल्या:}}","codex.applyOrRevertBanner.apply":"लागू करा","codex.applyOrRevertBanner.applyMessage":"बदल लागू करून स्थानिक पातळीवर चालू ठेवायचे?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"हे काम {environment} मधील असल्यामुळे बदल नीट लागू होणार नाहीत असे होऊ शकेल.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"हे बदल {environment} मध्ये केले असल्यामुळे नीट लागू होणार नाहीत असे होऊ शकेल.","codex.applyOrRevertBanner.reapply":"पुन्हा लागू करा","codex.applyOrRevertBanner.revert":"पूर्वस्थितीवर या","codex.applyOrRevertBanner.revertMessage":"लागू केलेले बदल पूर्वस्थितीवर आणायचे?","codex.applyResultsDialog.applied":"({count}) नीट लागू झाले","codex.applyResultsDialog.close":"बंद करा","codex.applyResultsDialog.conflicted":"({count}) विवादित","codex.applyResultsDialog.noDetails":"फाइलचे तपशील उपलब्ध नाहीत.","codex.applyResultsDialog.skipped":"वगळले ({count})","codex.applyResultsDialog.title":"परिणाम लागू करा","codex.archiveInfo":"{dataControlsLink} मध्ये संग्रहित चॅट्स पहा.","codex.archiveInfo.dataControlsLink":"डेटा नियंत्रणे","codex.archiveInfo.electron":"{settingsLink} मध्ये संग्रहित चॅट्स पहा","codex.archiveInfo.extension":"तुमच्या .codex फोल्डरमध्ये संग्रहित चॅट्स पहा.","codex.archiveInfo.settingsLink":"सेटिंग्ज","codex.banner.content.description":"एकाच वेळी कामे चालवा, प्रगतीचा मागोवा कुठूनही घ्या आणि AI सह PR चे पुनरावलोकन करा.","codex.banner.content.headline":"कोडेक्स सर्वकाही करते.","codex.cloudTaskRow.archiveTask":"काम संग्रहित करा","codex.cloudTaskRow.confirmArchiveTask":"पुष्टी करा","codex.command.feedback":"अभिप्राय","codex.command.findInThread":"शोधा","codex.command.forceReloadSkills":"कौशल्ये सक्तीने पुन्हा लोड करा","codex.command.logOut":"लॉग आउट करा","codex.command.manageTasks":"कामे व्यवस्थापित करा","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"मागे","codex.command.navigateForward":"पुढे","codex.command.newThread":"नवीन थ्रेड","codex.command.nextThread":"पुढील थ्रेड","codex.command.openFolder":"फोल्डर उघडा","codex.command.openSkills":"कौशल्यांवर जा","codex.command.openThreadOverlay":"थ्रेड पॉप आउट करा","codex.command.personalitySettings":"व्यक्तिमत्व","codex.command.previousThread":"मागील थ्रेड ","codex.command.settings":"सेटिंग्ज","codex.command.toggleDiffPanel":"डिफ पॅनल टॉगल करा","codex.command.toggleSidebar":"साइडबार टॉगल करा","codex.command.toggleTerminal":"टर्मिनल टॉगल करा","codex.commandGroup.app":"ॲप","codex.commandGroup.configure":"कॉन्फिगर करा","codex.commandGroup.navigation":"नेव्हिगेशन","codex.commandGroup.panels":"पॅनल्स","codex.commandGroup.skills":"कौशल्ये","codex.commandGroup.thread":"थ्रेड","codex.commandGroup.workspace":"प्रोजेक्ट","codex.commandMenu.noResults":"जुळणी सापडली नाही","codex.commandMenu.searchPlaceholder":"कमांड्स शोधा","codex.commandMenu.suggestedGroup":"सुचवलेले","codex.commandMenu.switchWorkspace":"प्रोजेक्ट बदला","codex.commandMenu.title":"कमांड मेनू","codex.common.retry":"पुन्हा प्रयत्न करा","codex.composer.searchBranches":"शाखांमध्ये शोधा","codex.dialog.basic.body":"Radix डायलॉगभोवती आमच्या रॅपरचा वापर केलेला हा एक साधा मोडल डायलॉग आहे.","codex.dialog.basic.cancel":"रद्द करा","codex.dialog.basic.confirm":"पुष्टी करा","codex.dialog.basic.open":"डायलॉग उघडा","codex.dialog.basic.title":"नमुना डायलॉग","codex.dialog.long.close":"बंद करा","codex.dialog.long.line":"डायलॉगमध्ये लांब काँटेंट दर्शवण्यासाठी {index} स्क्रोल करण्यायोग्य ओळ.","codex.dialog.long.open":"लांब डायलॉग उघडा","codex.dialog.long.title":"लांब काँटेंटचा डायलॉग","codex.dialog.unstyled.body":"ही स्टोरी दाखवते की संवाद काँटेंटच्या शैलीवर कॉलर्स पूर्णपणे नियंत्रण कसे ठेवू शकतात.","codex.dialog.unstyled.open":"अशैलीकृत डायलॉग उघडा","codex.dialog.unstyled.title":"अशैलीकृत काँटेंट","codex.diff.openInEditorPrompt.openButton":"एडिटरमध्ये उघडा","codex.diff.openInEditorPrompt.singleLine":"ही फाइल येथे दाखवण्यासाठी खूप मोठी आहे.","codex.diffView.failedToDecodeBase64Diff":"base64 डिफ डीकोड करण्यात अयशस्वी","codex.diffView.filesChanged":"{fileCount, plural, one {# फाइल बदलली} other {# फाइल्स बदलल्या}}","codex.diffView.imagePreviewAlt":"प्रतिमेचे पूर्वावलोकन","codex.diffView.imagePreviewEmpty":"कुठल्याही प्रतिमा नाहीत","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"डिफ डेटा नाही","codex.diffView.pdfPreview.nextPage":"पुढील पेज","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"मागील पेज","codex.diffView.pdfPreviewEmpty":"PDF पूर्वावलोकन नाही","codex.diffView.pdfPreviewError":"PDF पूर्वावलोकन रेंडर करता आले नाही","codex.diffView.richPreviewDisable":"रिच पूर्वावलोकन अक्षम करा","codex.diffView.richPreviewEnable":"रिच पूर्वावलोकन सक्षम करा","codex.diffView.richPreviewLoading":"पूर्वावलोकन लोड करत आहे…","codex.diffView.richPreviewToggle":"रिच पूर्वावलोकन टॉगल करा","codex.diffView.switchToUnified":"युनिफाइड डिफवर स्विच करा","codex.environmentSelector.noEnvironment":"पर्यावरण नाही","codex.environments.environmentSettings":"पर्यावरणाच्या सेटिंग्ज","codex.environments.learnMore":"अधिक जाणून घ्या","codex.environments.listError":"पर्यावरणे लोड करता आली नाहीत.","codex.environments.noEnvironmentsFound":"पर्यावरणे मिळाली नाहीत","codex.environments.searchError":"पर्यावरणे शोधण्यात अपयशी.","codex.errorBoundary.genericError":"अरेरे, एक त्रुटी आली","codex.errorBoundary.goHome":"पुन्हा प्रयत्न करा","codex.file.patch.missing":"या फाइलसाठी पॅच तयार करता आला नाही.","codex.gallery.automations.cwdLabel":"प्रोजेक्ट्स","codex.gallery.automations.nameLabel":"नाव","codex.gallery.automations.namePlaceholder":"कामाचा सारांश तयार करा","codex.gallery.automations.promptLabel":"प्रॉम्प्ट","codex.gallery.automations.promptPlaceholder":"कोडेक्सने काय करावे याचे वर्णन करा","codex.gallery.dialogs.automation.label":"ऑटोमेशन डायलॉग","codex.gallery.dialogs.basic.body":"सरळ-साध्या पुष्टीकरणांसाठी किंवा लहान फॉर्मसाठी हा लेआउट वापरा.","codex.gallery.dialogs.basic.cancel":"रद्द करा","codex.gallery.dialogs.basic.confirm":"पुष्टी करा","codex.gallery.dialogs.basic.label":"मूलभूत डायलॉग","codex.gallery.dialogs.basic.title":"नमुना डायलॉग","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"समस्येचे वर्णन करा","codex.gallery.dialogs.feedbackSubmission.bad":"चुकीचा परिणाम","codex.gallery.dialogs.feedbackSubmission.bug":"बग","codex.gallery.dialogs.feedbackSubmission.good":"चांगला परिणाम","codex.gallery.dialogs.feedbackSubmission.includeLogs":"सध्याच्या कोडेक्स सत्राचे लॉग्ज समाविष्ट करा","codex.gallery.dialogs.feedbackSubmission.label":"अभिप्राय सबमिट करणे","codex.gallery.dialogs.feedbackSubmission.other":"इतर","codex.gallery.dialogs.feedbackSubmission.placeholder":"समस्येचे वर्णन येथे करा","codex.gallery.dialogs.feedbackSubmission.submit":"सबमिट करा","codex.gallery.dialogs.feedbackSubmission.title":"अभिप्राय","codex.gallery.dialogs.feedbackSuccess.body":"अभिप्राय अपलोड केला. समस्या कायम राहिली, तर कृपया एक नवीन GitHub समस्या उघडा किंवा वर्तमान उघड्या समस्येमध्ये या थ्रेडचा उल्लेख करा:","codex.gallery.dialogs.feedbackSuccess.dismiss":"हे नको","codex.gallery.dialogs.feedbackSuccess.label":"अभिप्राय यश","codex.gallery.dialogs.feedbackSuccess.title":"अभिप्राय अपलोड केला","codex.gallery.dialogs.gitApplyResults.applied":"योग्यरीत्या लागू केले (2)","codex.gallery.dialogs.gitApplyResults.close":"बंद करा","codex.gallery.dialogs.gitApplyResults.conflicted":"विवादित (1)","codex.gallery.dialogs.gitApplyResults.label":"परिणाम लागू करा","codex.gallery.dialogs.gitApplyResults.title":"परिणाम लागू करा","codex.gallery.dialogs.gitPushError.body":"नवीनतम बदल पुल करा किंवा रिमोट इतिहासाला ओव्हरराइट करणे सुरक्षित आहे असे तुम्हाला माहीत असेल तर सक्तीने पुश करा.","codex.gallery.dialogs.gitPushError.cancel":"रद्द करा","codex.gallery.dialogs.gitPushError.force":"सक्तीने पुश करा","codex.gallery.dialogs.gitPushError.label":"पुश त्रुटी","codex.gallery.dialogs.gitPushError.subtitle":"तुमची शाखा मूळ/मुख्य यांच्या मागे आहे.","codex.gallery.dialogs.gitPushError.title":"बदल पुश करता आले नाहीत","codex.gallery.dialogs.gitRevert.cancel":"रद्द करा","codex.gallery.dialogs.gitRevert.confirm":"पूर्वस्थितीवर या","codex.gallery.dialogs.gitRevert.label":"बदल पूर्वस्थितीवर आणा","codex.gallery.dialogs.gitRevert.skip":"पुन्हा विचारू नका","codex.gallery.dialogs.gitRevert.subtitle":"ही कृती हे सर्व बदल काढून टाकते.","codex.gallery.dialogs.gitRevert.title":"बदल पूर्वस्थितीवर आणायचे?","codex.gallery.dialogs.longForm.label":"मोठा फॉर्म डायलॉग","codex.gallery.dialogs.proseModal.body":"ही मोडल शैली अधिक मोठ्या सूचना, ऑनबोर्डिंग किंवा रिच काँटेंट ब्लॉक्ससाठी वापरली जाते.","codex.gallery.dialogs.proseModal.close":"बंद करा","codex.gallery.dialogs.proseModal.subtitle":"येथे मोठ्या फॉर्ममधील मार्गदर्शन किंवा दस्तऐवजीकरण शेअर करा.","codex.gallery.dialogs.proseModal.title":"प्रोझ मोडल","codex.gallery.dialogs.submitBlocked.label":"सबमिशन ब्लॉक केले","codex.gallery.dialogs.submitBlocked.message":"तुमचा मेसेज पाठवला जाऊ शकला नाही कारण प्रोजेक्ट उपलब्ध नाही.","codex.gallery.dialogs.submitBlocked.ok":"ठीक आहे","codex.gallery.dialogs.submitBlocked.title":"मेसेज पाठवता आला नाही","codex.gallery.dialogs.title":"डायलॉग्स","codex.gallery.dropdown.filterPlaceholder":"फिल्टर आयटम्स","codex.gallery.dropdowns.actionRow":"क्रिया ओळी","codex.gallery.dropdowns.actionRow.disabled":"अक्षम केलेली क्रिया","codex.gallery.dropdowns.actionRow.primary":"मुख्य क्रिया","codex.gallery.dropdowns.actionRow.secondary":"दुय्यम क्रिया","codex.gallery.dropdowns.actionRow.trigger":"क्रिया दाखवा","codex.gallery.dropdowns.basic":"बेसिक ड्रॉपडाउन","codex.gallery.dropdowns.basic.newFile":"नवीन फाइल","codex.gallery.dropdowns.basic.newFolder":"नवीन फोल्डर","codex.gallery.dropdowns.basic.openSettings":"सेटिंग्ज उघडा","codex.gallery.dropdowns.basic.title":"त्वरित क्रिया","codex.gallery.dropdowns.basic.trigger":"मेनू उघडा","codex.gallery.dropdowns.basic.upload":"अपलोड करा","codex.gallery.dropdowns.panel":"पॅनल पृष्ठभाग","codex.gallery.dropdowns.panel.apply":"लागू करा","codex.gallery.dropdowns.panel.body":"डिफ्सचे पुनरावलोकन करा आणि तुमच्या प्रोजेक्टवर लागू करा.","codex.gallery.dropdowns.panel.preview":"पूर्वावलोकन","codex.gallery.dropdowns.panel.title":"बदल लागू करा","codex.gallery.dropdowns.panel.trigger":"पॅनल उघडा","codex.gallery.dropdowns.search":"शोधण्यायोग्य ड्रॉपडाउन","codex.gallery.dropdowns.search.first":"अल्फा चॅनल","codex.gallery.dropdowns.search.second":"बीटा शाखा","codex.gallery.dropdowns.search.third":"रिलीझ करता येईल","codex.gallery.dropdowns.search.trigger":"फिल्टर आयटम्स","codex.gallery.dropdowns.submenu":"सबमेनूसह ड्रॉपडाउन","codex.gallery.dropdowns.submenu.optionA":"प्रोजेक्ट अल्फा","codex.gallery.dropdowns.submenu.optionB":"प्रोजेक्ट बीटा","codex.gallery.dropdowns.submenu.optionC":"प्रोजेक्ट गामा","codex.gallery.dropdowns.submenu.primary":"मालक असाइन करा","codex.gallery.dropdowns.submenu.secondary":"येथे हलवा","codex.gallery.dropdowns.submenu.tertiary":"संग्रहित करा","codex.gallery.dropdowns.submenu.trigger":"क्रिया निवडा","codex.gallery.dropdowns.title":"ड्रॉपडाउन","codex.gallery.inbox.automations.close":"बंद करा","codex.gallery.inbox.automations.popover.cardTitle":"ऑटोमेशन्स व्यवस्थापित करा","codex.gallery.inbox.automations.popover.dialogTitle":"ऑटोमेशन्स व्यवस्थापित करा","codex.header.settingsTooltip":"सेटिंग्ज","codex.hunk.patch.error":"स्टेज करता आले नाही","codex.hunk.patch.missing":"या Hunk साठी पॅच तयार करता आला नाही.","codex.hunk.patch.partialSuccess":"अंशतः यश मिळाले","codex.hunk.patch.revertError":"अनस्टेज करता आले नाही","codex.hunk.patch.revertSuccess":"अनस्टेज केले","codex.hunk.patch.success":"स्टेज केले","codex.legal.autonomy.details":"अधिक तपशिलांसाठी {link} पहा","codex.legal.autonomy.details.link":"कोडेक्स दस्तऐवज","codex.legal.autonomy.title":"किती स्वायत्तता द्यायची ते तुम्ही ठरवा","codex.legal.backButton":"मागे","codex.legal.cloud.taskOne.meta":"openai/agi · ऑक्टोबर 12","codex.legal.cloud.taskOne.title":"नवीन डिझायनरला रिपॉझिटरी समजावून सांगा","codex.legal.cloud.taskThree.meta":"openai/codex · ऑक्टोबर 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"डार्कमोड थीम तयार करा","codex.legal.cloud.taskTwo.meta":"openai/agi · ऑक्टोबर 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ऑनबोर्डिंगमधील बग दुरुस्त करा","codex.legal.continue.apikey":"सुरू ठेवा","codex.legal.continueButton":"पुढे","codex.legal.copilot.details":"सर्व मॉडेल कॉल, बिलिंग आणि दर मर्यादांसाठी तुमचा Copilot योजना वापरते. कोडेक्स एक्सटेंशनचा वापर {oaiTos} आणि {gitHubTos} दोन्हीच्या अधीन आहे.","codex.legal.copilot.gitHubTosLink":"GitHub सेवेच्या अटी","codex.legal.copilot.oaiTosLink":"OpenAI कोडेक्स सेवेच्या अटी","codex.legal.copilot.title":"GitHub Copilot द्वारे संचालित","codex.legal.mistakes.review":"याने लिहीलेल्या कोडचे आणि चालवलेल्या कमांडचे पुनरावलोकन करा","codex.legal.mistakes.title":"कोडेक्स चुका करू शकते","codex.legal.powered.details":"तुमच्या योजनेच्या दर मर्यादा आणि {link} च्या","codex.legal.powered.details.link":"प्रशिक्षण डेटाची प्राधान्ये वापरते","codex.legal.powered.title":"तुमच्या ChatGPT खात्याद्वारे संचालित","codex.legal.step.cloud.subtitle":"पार्श्वभूमीत चालवण्यासाठी कोडेक्सला कामे पाठवा म्हणजे तुम्ही लक्ष केंद्रित करू शकाल आणि अधिक जलद कामे करू शकाल.","codex.legal.step.cloud.title":"क्लाउडमध्ये कोडेक्सला द्या","codex.legal.step.intro.subtitle":"कोडेक्स तुमच्या रिपॉझिटरीमध्ये थेट नेव्हिगेट करते, एडिट करते, कमांड चालवते आणि चाचण्या करते. तुमच्या ChatGPT खात्याद्वारे संचालित.","codex.legal.step.intro.title":"तुमच्या IDE मध्ये कोडेक्स","codex.legal.step.todo.subtitle":"एका क्लिकने TODO कॉमेंट लिहा आणि त्याचे रूपांतरण कोडेक्सच्या कामामध्ये करा.","codex.legal.step.todo.title":"TODO चे रूपांतरण कोडेक्स कामांमध्ये करा","codex.legal.todo.heading":"//TODO: स्कीमा लागू करा","codex.localConversation.closeImagePreview":"प्रतिमा पूर्वावलोकन बंद करा","codex.localConversation.userImageAttachment":"वापरकर्त्याची अटॅचमेंट","codex.localTaskRow.archiveTask":"थ्रेड संग्रहित करा","codex.localTaskRow.awaitingApproval":"मंजुरीची वाट बघत आहे","codex.localTaskRow.awaitingResponse":"प्रतिसादाची वाट बघत आहे","codex.localTaskRow.confirmArchiveTask":"पुष्टी करा","codex.loggedOut.apiKeyPrompt.cancel":"रद्द करा","codex.loggedOut.apiKeyPrompt.confirm":"ठीक आहे","codex.loggedOut.apiKeyPrompt.getKey":"API Key मिळवा","codex.loggedOut.apiKeyPrompt.inputLabel":"तुमची OpenAI API Key टाका","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API Key सह क्लाउडवरील कामे अक्षम केली आहेत","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot आणि API key सह क्लाउडवरील कामे अक्षम केली आहेत","codex.loggedOut.signIn":"ChatGPT सह साइन इन करा","codex.loggedOut.signIn.cancel":"साइन-इन रद्द करा","codex.loggedOut.signInWithCopilot":"GitHub Copilot सह साइन इन करा","codex.loggedOut.title":"कोडेक्स","codex.loggedOut.useApiKey":"API Key वापरा","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} टूल","codex.mcpTool.collapsedLabel.verb.called":"कॉल केले","codex.mcpTool.collapsedLabel.verb.calling":"कॉल करत आहे","codex.mcpTool.embeddedResource.contentLabel":"काँटेंट","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME प्रकार","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"टूलने कोणतेही काँटेंट आणले नाही","codex.mcpTool.rawPayloadHeading":"रॉ {server}.{tool} टूल कॉल पेलोड","codex.menu.recent":"अलीकडील","codex.menu.seeAllHistory":"सर्व इतिहास पहा","codex.modelCapacityBanner.headline.noReset":"{modelName} सध्या संपूर्ण क्षमतेवर आहे. नंतर पुन्हा प्रयत्न करा किंवा इतर मॉडेलसह नवीन संभाषण सुरू करा.","codex.modelCapacityBanner.headline.withReset":"{modelName} सध्या संपूर्ण क्षमतेवर आहे. {resetDate} नंतर पुन्हा प्रयत्न करा किंवा इतर मॉडेलसह नवीन संभाषण सुरू करा.","codex.modelCapacityBanner.title":"निवडलेले मॉडेल संपूर्ण क्षमतेवर आहे","codex.patch.change.contentsDeleted":"काँटेंट हटवले","codex.patch.change.created":"तयार केले","codex.patch.change.created-file":"तयार केलेली फाइल","codex.patch.change.creating":"तयार करत आहे","codex.patch.change.deleted":"हटवले","codex.patch.change.deleted-file":"हटवलेली फाइल","codex.patch.change.deleting":"हटवत आहे","codex.patch.change.edited":"एडिट केले","codex.patch.change.edited-file":"एडिट केलेली फाइल","codex.patch.change.editing":"एडिट करत आहे","codex.patch.change.noChanges":"एकही बदल नाही","codex.patch.change.rejected-add":"नाकारले","codex.patch.change.rejected-delete":"नाकारले","codex.patch.change.rejected-edit":"नाकारले","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total} पैकी {completed} कामे पूर्ण केली","codex.plan.todoListCreated":"{total} कामांसह कामांची यादी तयार केली","codex.profileDropdown.apiKeyAuth":"API Key सह लॉग इन केले","codex.profileDropdown.codexSettings":"कोडेक्स सेटिंग्ज","codex.profileDropdown.copilotAuth":"Copilot सह लॉग इन केले","codex.profileDropdown.defaultAccountTitle":"डीफॉल्ट खाते","codex.profileDropdown.enterBehavior":"मोठे प्रॉम्प्ट्स पाठवण्यासाठी {modifierSymbol} + एंटर दाबा","codex.profileDropdown.enterBehaviorError":"सेटिंग्ज अद्यतनित करण्यात अयशस्वी","codex.profileDropdown.getPlus":"अधिक मर्यादांसाठी श्रेणीसुधारित करा","codex.profileDropdown.keyboardShortcuts":"कीबोर्ड शॉर्टकट्स","codex.profileDropdown.language":"भाषा","codex.profileDropdown.languageDefault":"स्वयं-शोध","codex.profileDropdown.languageSearchPlaceholder":"भाषा शोधा","codex.profileDropdown.languageUpdateError":"भाषा अद्ययावत करता आली नाही","codex.profileDropdown.logOut":"लॉग आउट करा","codex.profileDropdown.mcp":"MCP सेटिंग्ज","codex.profileDropdown.openConfigToml":"config.toml उघडा","codex.profileDropdown.openConfigToml.wsl":"config.toml ला WSL पर्यावरणामध्ये उघडा","codex.profileDropdown.openExtensionSettings":"सेटिंग्ज उघडा","codex.profileDropdown.openMcpSettings":"MCP सेटिंग्ज उघडा","codex.profileDropdown.openOnStartup":"स्टार्टअपच्या वेळी उघडा","codex.profileDropdown.openOnStartupError":"सेटिंग्ज अद्यतनित करण्यात अयशस्वी","codex.profileDropdown.openSkillsSettings":"कौशल्य सेटिंग्ज उघडा","codex.profileDropdown.personalAccountTitle":"वैयक्तिक खाते","codex.profileDropdown.queueFollowUps":"फॉलो अप रांगेत ठेवा","codex.profileDropdown.queueFollowUpsError":"सेटिंग्ज अद्यतनित करण्यात अयशस्वी","codex.profileDropdown.readDocs":"दस्तऐवज वाचा","codex.profileDropdown.readSkillsDocs":"दस्तऐवज वाचा","codex.profileDropdown.runInWsl":"WSL मध्ये चालवा","codex.profileDropdown.runInWslError":"सेटिंग्ज अद्यतनित करण्यात अयशस्वी","codex.profileDropdown.runInWslTooltip":"कोडेक्सला WSL मध्ये चालवते. सुधारित सँडबॉक्स सुरक्षितता आणि अधिक चांगल्या कामगिरीसाठी शिफारस केलेले.","codex.profileDropdown.settings":"IDE सेटिंग्ज","codex.profileDropdown.settingsPage":"सेटिंग्ज","codex.profileDropdown.signInWithOpenAI":"ChatGPT सह साइन इन करा","codex.profileDropdown.skills":"कौशल्य सेटिंग्ज","codex.profileDropdown.switchToCopilotAccount":"Copilot खाते वापरा","codex.profileDropdown.switchToOpenAIAccount":"OpenAI खाते वापरा","codex.profileDropdown.todoCodelens":"TODO कॉमेंट्स दुरुस्त करा","codex.profileDropdown.todoCodelensError":"सेटिंग्ज अद्यतनित करण्यात अयशस्वी","codex.profileDropdown.windowsDocumentation":"Windows दस्तऐवज","codex.profileFooter.signedInFallback":"सेटिंग्ज","codex.profileFooter.upgrade":"श्रेणीसुधारित करा","codex.recentTasksMenu.clearSearch":"शोध साफ करा","codex.recentTasksMenu.cloud":"क्लाउडवरील कामे","codex.recentTasksMenu.count":"{count, plural, =0 {कुठलीही कामे सुरू नाहीत} one {# काम सुरू आहे} other {# कामे सुरू आहेत}}","codex.recentTasksMenu.empty":"अद्याप कोणतेही थ्रेड नाहीत","codex.recentTasksMenu.errorCloud":"कामे लोड करण्यात अपयशी.","codex.recentTasksMenu.errorCloud.inline":"क्लाउडवरील कामे लोड करण्यात अपयशी.","codex.recentTasksMenu.filterAll":"सर्व","codex.recentTasksMenu.filterCloudTasks":"क्लाउडवरील कामे फिल्टर करा","codex.recentTasksMenu.filterTooltip":"पर्यावरणानुसार कामे फिल्टर करा","codex.recentTasksMenu.local":"स्थानिक कामे","codex.recentTasksMenu.recent":"सर्व कामे","codex.recentTasksMenu.search":"अलीकडील कामे शोधा","codex.recentTasksMenu.searchEmpty":"कोणताही परिणाम नाही","codex.recentTasksMenu.tooltip":"कामाचा इतिहास","codex.recentTasksMenu.trigger":"अलीकडील कामे. {count, plural, one {# सुरू आहे} other {# सुरू आहेत}}","codex.remoteConversation.applyDiff.applyCta":"बदल लागू करा","codex.remoteConversation.applyDiff.dropdownTitle":"स्थानिक शाखेसाठी बदल लागू करा","codex.remoteConversation.applyDiff.revertCta":"बदल पूर्वस्थितीवर आणा","codex.remoteConversation.closeImagePreview":"प्रतिमा पूर्वावलोकन बंद करा","codex.remoteConversation.codexCloudTask":"तुम्ही <u>कोडेक्स क्लाउड</u> वरील काम पाहत आहात","codex.remoteConversation.errorWithMessage":"त्रुटी: {message}","codex.remoteConversation.loadingImage":"प्रतिमा लोड करत आहे","codex.remoteConversation.openInWeb":"वेबवर उघडा","codex.remoteConversation.streaming":"सुरू करत आहे","codex.remoteConversation.turnFailed":"या कामाच्या दरम्यान एक त्रुटी आली","codex.remoteConversation.turnTab.loading":"प्रयत्न {number}","codex.remoteConversation.turnTab.title":"प्रयत्न {number}","codex.remoteConversation.userImageAttachment":"वापरकर्त्याची अटॅचमेंट","codex.remoteConversation.viewPreviousTurns":"वेबवर उघडा","codex.remoteConversation.viewPreviousTurns.buttonText":"उघडा","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"वेबवर उघडा","codex.review.copyGitApplyCommand":"git अप्लाय कमांड कॉपी करा","codex.review.copyGitApplyCommand.toast":"git अप्लाय कमांड क्लिपबोर्डवर कॉपी केली","codex.review.diffTooLarge.description":"पुनरावलोकनात दाखवण्यासाठी हे डिफ खूप मोठे आहे.","codex.review.diffTooLarge.title":"दाखवण्यासाठी डिफ खूप मोठे आहे","codex.review.expandOrCollapseDiffButton.collapse":"सर्व डिफ्स लहान करा","codex.review.expandOrCollapseDiffButton.expand":"सर्व डिफ्स मोठे करा","codex.review.expandOrCollapseDiffMenu.collapse":"सर्व डिफ्स लहान करा","codex.review.expandOrCollapseDiffMenu.expand":"सर्व डिफ्स मोठे करा","codex.review.fileSearch.clear":"फाइल फिल्टर साफ करा","codex.review.fileSearch.empty":"कोणत्याही फाइल्स सध्याच्या फिल्टरशी जुळत नाहीत.","codex.review.fileSearch.label":"फाइल्स फिल्टर करा","codex.review.fileSearch.placeholder":"फाइल्स फिल्टर करा...","codex.review.filesChanged":"{num, plural, =0 {एकही फाइल बदलली नाही} one {# फाइल बदलली} other {# फाइल्स बदलल्या}}","codex.review.find.loadMore":"अधिक जुळण्या लोड करा","codex.review.fullReview.hideFileTree":"फाइल ट्री लपवा","codex.review.fullReview.showFileTree":"फाइल ट्री दाखवा","codex.review.header.moreOptions":"पुनरावलोकनाचे पर्याय","codex.review.largeDiff.banner":"मोठा फरक आढळला - एका वेळी एक फाइल दाखवत आहे.","codex.review.loadFullFiles.disable":"संपूर्ण फाइल्स लोड करू नका","codex.review.loadFullFiles.enable":"संपूर्ण फाइल्स लोड करा","codex.review.noDiff":"फाइलचे बदल येथे दिसतील","codex.review.noDiff.gitInit.createRepository":"Git रिपॉझिटरी तयार करा","codex.review.noDiff.gitInit.creating":"तयार करत आहे…","codex.review.noDiff.gitInit.error":"Git इनिशियलायझेशन अयशस्वी झाले: {message}","codex.review.noDiff.gitInit.success":"Git रिपॉझिटरी तयार केली","codex.review.noDiff.gitRepoRequired.description":"या प्रोजेक्टमध्ये बदल ट्रॅक करा आणि पूर्ववत करा","codex.review.noDiff.gitRepoRequired.title":"एक Git रिपॉझिटरी तयार करा","codex.review.noDiff.orNoLongerAvailable":"किंवा नवीनतम डिफ आता उपलब्ध नाहीत","codex.review.noDiff.reverted":"शेवटची पाळी पूर्वस्थितीवर आणली आहे","codex.review.noDiff.revertedOrCommitted":"शेवटची पाळी एकतर पूर्वस्थितीवर आणली आहे किंवा कमिट झाली आहे","codex.review.refreshGitQueries":"रिफ्रेश करा","codex.review.revert.file.error":"{path} पूर्वस्थितीवर आणता आले नाही","codex.review.revert.file.partialSuccess":"{path} अंशतः पूर्वस्थितीवर आणले","codex.review.revert.file.success":"{path} पूर्वस्थितीवर आणले","codex.review.revert.hunk.error":"{path} मध्ये {hunkNumber} Hunk पूर्वस्थितीवर आणता आले नाही","codex.review.revert.hunk.partialSuccess":"{path} मध्ये {hunkNumber} Hunk अंशतः पूर्वस्थितीवर आणले","codex.review.revert.hunk.success":"{path} मध्ये {hunkNumber} Hunk पूर्वस्थितीवर आणले","codex.review.revert.section.error":"विभाग पूर्वस्थितीवर आणता आला नाही","codex.review.revert.section.partialSuccess":"विभाग अंशतः पूर्वस्थितीवर आणला","codex.review.revert.section.success":"विभाग पूर्वस्थितीवर आणला","codex.review.revertDialog.cancel":"रद्द करा","codex.review.revertDialog.confirm":"पुष्टी करा","codex.review.revertDialog.message":"ही कृती हे सर्व बदल काढून टाकते.","codex.review.revertDialog.skip":"पुन्हा विचारू नका","codex.review.revertDialog.title":"बदल पूर्वस्थितीवर आणायचे?","codex.review.richPreview.disable":"रिच पूर्वावलोकन अक्षम करा","codex.review.richPreview.enable":"रिच पूर्वावलोकन सक्षम करा","codex.review.source.cloud":"क्लाउडमधील बदल","codex.review.source.local.all":"शाखेतील सर्व बदल","codex.review.source.local.lastTurn":"शेवटल्या पाळीतील बदल","codex.review.source.local.uncommitted":"कमिट न केलेले बदल","codex.review.source.worktree":"कमिट न केलेले वर्कट्रीमधील बदल","codex.review.stageFilter.empty.staged.description":"स्टेज करण्यासाठी एडिट्स स्वीकारा","codex.review.stageFilter.empty.staged.title":"कोणतेही स्टेज केलेले बदल नाहीत","codex.review.stageFilter.empty.unstaged.description":"कोडमधील बदल येथे दिसतील","codex.review.stageFilter.empty.unstaged.title":"कोणतेही अनस्टेज केलेले बदल नाहीत","codex.review.stageFilter.staged":"स्टेज केलेले","codex.review.stageFilter.staged.count":"स्टेज केलेले · {count}","codex.review.stageFilter.unstaged":"स्टेज न केलेले","codex.review.stageFilter.unstaged.count":"स्टेज न केलेले · {count}","codex.review.switchToSplit":"स्प्लिट डिफ वर स्विच करा","codex.review.switchToUnified":"युनिफाइड डिफवर स्विच करा","codex.review.toggleDiffView":"डिफ दृश्य टॉगल करा","codex.review.wordDiffs.disable":"वर्ड डिफ अक्षम करा","codex.review.wordDiffs.enable":"वर्ड डिफ सक्षम करा","codex.review.wrap.disable":"वर्ड रॅप अक्षम करा","codex.review.wrap.enable":"वर्ड रॅप सक्षम करा","codex.section.patch.missing":"या विभागासाठी पॅच तयार करता आला नाही.","codex.shell.collapse":"शेल लहान करा","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"शेलचे काँटेंट कॉपी केले","codex.shell.copy.copyTooltip":"शेलचे काँटेंट कॉपी करा","codex.shell.copyCommand":"कमांड कॉपी करा","codex.shell.copyOutput":"आउटपुट कॉपी करा","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"बॅश","codex.shell.expand":"शेल मोठे करा","codex.shell.name":"शेल","codex.shell.noOutput":"आउटपुट नाही","codex.signInFailed.message":"साइन इन अयशस्वी झाले: {rawMessage}","codex.stories.toast.show":"टोस्ट दाखवा","codex.stories.tooltip.basic":"हे टूलटिप आहे","codex.stories.tooltip.hoverMe":"माझ्यावर माउस आणा","codex.stories.tooltip.largerOffset":"या टूलटिपमध्ये अधिक मोठा ऑफसेट आहे","codex.stories.tooltip.offsetButton":"अधिक मोठा ऑफसेट","codex.stories.tooltip.shortcutButton":"शॉर्टकटसह","codex.stories.tooltip.withShortcut":"टर्मिनल टॉगल करा","codex.taskRow.title":"नवीन थ्रेड","codex.taskRowLayout.confirm":"पुष्टी करा","codex.threadFindBar.chatFilter":"चॅट शोधा","codex.threadFindBar.close":"शोधणे बंद करा","codex.threadFindBar.diffFilter":"डिफ शोधा","codex.threadFindBar.label":"थ्रेडमध्ये शोधा","codex.threadFindBar.nextResult":"पुढील परिणाम","codex.threadFindBar.noResults":"0 परिणाम","codex.threadFindBar.placeholder":"थ्रेड शोधा…","codex.threadFindBar.placeholder.extension":"थ्रेड शोधा…","codex.threadFindBar.placeholder.review":"फरक शोधा...","codex.threadFindBar.placeholder.review.extension":"फरक शोधा...","codex.threadFindBar.previousResult":"मागील परिणाम","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# फाइल बदलली} other {# फाइल्स बदलल्या}}","codex.unifiedDiff.inlineLargeFile":"इनलाइन रेंडर करण्यासाठी खूप मोठे आहे","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"पूर्ववत करा","codex.unifiedDiff.revertPatchError":"बदल पूर्वस्थितीवर आणण्यात अपयशी","codex.unifiedDiff.revertPatchSuccess":"बदल पूर्वस्थितीवर आणले","codex.unifiedDiff.reviewChangesSuffix":"बदल","codex.unifiedDiff.reviewShort":"पुनरावलोकन","codex.unifiedDiff.viewDiffTooltip":"पुनरावलोकन","codex.upsellBanner.business.headline":"आता अधिक प्रवेश मिळवण्यासाठी तुमच्या ॲडमिनला विनंती पाठवा किंवा {resetDate} पर्यंत वाट बघा.","codex.upsellBanner.cbp.headline":"आता अधिक प्रवेश मिळवण्यासाठी तुमच्या प्रशासकांना विनंती पाठवा.","codex.upsellBanner.cta.addCredits":"क्रेडिट्स जोडा","codex.upsellBanner.cta.upgradeAccount":"श्रेणीसुधारित करा","codex.upsellBanner.cta.viewUsage":"वापर पहा","codex.upsellBanner.free.trialHeadline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते. कोडेक्स वापरणे सुरू ठेवण्यासाठी आणि GPT-5.3-कोडेक्स मध्ये प्रवेश मिळवण्यासाठी आजच तुमचे Plus चे विनामूल्य ट्रायल सुरू करा.","codex.upsellBanner.freeOrGo.headline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते. कोडेक्स वापरणे सुरू ठेवण्यासाठी, आजच Plus वर अपग्रेड करा.","codex.upsellBanner.general.headline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते.","codex.upsellBanner.general.title":"तुमचे कोडेक्स मेसेज संपले आहेत","codex.upsellBanner.go.trialHeadline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते. कोडेक्स वापरणे सुरू ठेवण्यासाठी आजच तुमचे Plus चे विनामूल्य ट्रायल सुरू करा.","codex.upsellBanner.plus.headline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते. कोडेक्स वापरणे सुरू ठेवण्यासाठी, आजच क्रेडिट्स जोडा किंवा प्रो वर अपग्रेड करा.","codex.upsellBanner.pro.headline":"तुमची दर मर्यादा {resetDate} रोजी रीसेट होते. आता कोडेक्स वापरणे सुरू ठेवण्यासाठी क्रेडिट जोडा.","codex.userMessage.autoResolveSync":"संघर्ष आपोआप सोडवा","codex.userMessage.commentCount":"{count, plural, one {# कॉमेंट} other {# कॉमेंट्स}}","codex.userMessage.copiedAriaLabel":"कॉपी केले","codex.userMessage.copiedTooltip":"कॉपी केले","codex.userMessage.copyAriaLabel":"मेसेज कॉपी करा","codex.userMessage.copyTooltip":"कॉपी करा","codex.userMessage.implementPlan":"योजनेची अंमलबजावणी करा","codex.userMessage.noContent":"(काँटेंट नाही)","codex.userMessage.priorConversation":"पूर्वीच्या संभाषणाचा संदर्भ घेते","codex.userMessage.reviewMode":"पुनरावलोकन मोड","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} यासाठी","codex.webSearch.summary.verb.completed":"वेबवर शोधले","codex.webSearch.summary.verb.inProgress":"बेबवर शोधत आहे","codex.windowsInstallWslBanner.dismiss":"हे नको","codex.windowsInstallWslBanner.installWslCta":"सँडबॉक्स सक्षम करा","codex.windowsInstallWslBanner.learnMore":"अधिक जाणून घ्या","codex.windowsSandboxBanner.content":"एजंट मोड फाइलसिस्टम आणि नेटवर्क प्रवेश मर्यादित करण्यासाठी Windows वर प्रायोगिक सँडबॉक्स वापरते. {sandboxLink}","codex.windowsSandboxBanner.title":"एजंट मोडसाठी सँडबॉक्स सक्षम करा","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows सेटिंग्ज","codexUpgradeModal.body":"आमचे नवीनतम सर्वात पुढारलेले एजेंटिक कोडिंग मॉडेल — अधिक स्मार्ट, जलद आणि सामान्य तांत्रिक कामांमध्ये अधिक सक्षम. {link}","codexUpgradeModal.close":"बंद करा","codexUpgradeModal.image.altText":"GPT-5.3-कोडेक्स","codexUpgradeModal.smarterAndFaster":"अधिक जाणून घ्या","codexUpgradeModal.title":"सादर करत आहे GPT-5.3-कोडेक्स","codexUpgradeModal.tryNewModel":"आता GPT-5.3-कोडेक्स वापरून पहा","codexUpgradeModal.useExistingModel":"सध्याच्या मॉडेलसह सुरू ठेवा","commentAttachments.numComments":"{count, plural, one {# कॉमेंट} other {# कॉमेंट्स}}","commentAttachments.removeAriaLabel":"कॉमेंट्समधील अटॅचमेंट काढून टाका","common.close":"बंद करा","composer.addContext.openFilePickerError":"फाइल पिकर उघडता आले नाही","composer.addContextDropdown.ariaLabel":"फाइल्स जोडा आणि इतर अनेक गोष्टी करा","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"फाइल्स जोडा आणि इतर अनेक गोष्टी करा","composer.addPhotosAndFiles":"फोटो आणि फाइल्स जोडा","composer.atMentionList.emptyQuery":"फाइल्स शोधण्यासाठी टाइप करा","composer.atMentionList.loading":"शोधत आहे…","composer.atMentionList.noResults":"कोणतेही परिणाम नाहीत","composer.attemptsSelector.option":"{count, plural, one {# आवृत्ती} other {# आवृत्त्या}}","composer.attemptsSelector.tooltip":"कोडेक्सने करण्याच्या एकाच वेळच्या प्रयत्नांची संख्या","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"थांबा","composer.cloudFollowUp.cloud":"क्लाउड","composer.cloudFollowUp.local":"स्थानिक","composer.cloudFollowUp.whereRun":"हे फॉलो-अप कुठे चालवावे?","composer.cloudTaskCreationError":"क्लाउडवरील काम तयार करताना त्रुटी","composer.cloudTaskError":"काम तयार करताना त्रुटी","composer.contextWindow.autoCompactionTooltipLine1":"कोडेक्स त्याचा संदर्भ आपोआप संक्षिप्त करते","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"संदर्भ विंडो:","composer.contextWindowUsageStatusFull":"{usage}% भरले आहे","composer.contextWindowUsageStatusLeft":"{usage}% वापरले ({remaining}% उरले)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k टोकन्स वापरली","composer.customCliTooltip":"सानुकूल CLI एक्झिक्यूटेबल वापरून","composer.dictation.aria":"डिक्टेट करा","composer.dictation.cancel.aria":"श्रुतलेखन थांबवा","composer.dictation.cancel.tooltip":"श्रुतलेखन थांबवा","composer.dictation.startError":"डिक्टेशन सुरू करता आले नाही","composer.dictation.submit.aria":"ट्रान्सक्राइब करा आणि पाठवा","composer.dictation.submit.tooltip":"ट्रान्सक्राइब करा आणि पाठवा","composer.dictation.tooltip":"डिक्टेट करण्यासाठी धरून ठेवा","composer.dictation.transcribeError":"ऑडिओ ट्रान्सक्राइब करता आला नाही","composer.dictation.unsupported":"या डिव्हाइसवर डिक्टेशन उपलब्ध नाही","composer.dropOverlay.holdShift":"ड्रॉप करण्यासाठी {key} धरून ठेवा","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"नवीन तयार करा","composer.environmentSelector.error":"पर्यावरण लोड करताना त्रुटी आली","composer.environmentSelector.goBack":"कंपोझरकडे परत जा","composer.environmentSelector.title":"पर्यावरण निवडा","composer.environmentSelector.tooltip":"क्लाउड पर्यावरण निवडा","composer.feedbackSlashCommand.title":"अभिप्राय","composer.filePicker.selectFile":"एक फाइल निवडा","composer.filePicker.selectFiles":"फाइल्स निवडा","composer.followerTooltip":"पुढे जाण्यासाठी, ज्या विंडोमध्ये हे संभाषण सुरू झाले त्यावर परत जा.","composer.footer.branchSwitch.checkoutError":"शाखा बदलता आली नाही: {message}","composer.footer.branchSwitch.createAndCheckout":"नवीन शाखा तयार करून चेकआउट करा…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"नवीन शाखा तयार करून चेकआउट करण्यासाठी बदल कमिट करा","composer.footer.branchSwitch.createBranchError":"शाखा तयार करता आली नाही: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"शाखेचे नाव","composer.footer.branchSwitch.createDialog.branchExistsError":"ही शाखा आधीच अस्तित्वात आहे.","composer.footer.branchSwitch.createDialog.close":"बंद करा","composer.footer.branchSwitch.createDialog.createAndCheckout":"तयार करून चेकआउट करा","composer.footer.branchSwitch.createDialog.placeholder":"नवीन-शाखा","composer.footer.branchSwitch.createDialog.title":"शाखा तयार करून चेकआउट करा","composer.footer.branchSwitch.createDialog.trailingSlashError":"शाखेच्या नावाच्या शेवटी “/” असू शकत नाही.","composer.footer.branchSwitch.tooltip":"शाखा बदला","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} चेक आउट करण्यासाठी {fileCount, plural, one {# फाइल} other {# फाइल्स}} मध्ये बदल कमिट करा.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"कमिट","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} चेक आउट करण्यासाठी {fileCount, plural, one {# फाइल} other {# फाइल्स}} मध्ये बदल.","composer.footer.branchSwitch.uncommittedDialog.cancel":"रद्द करा","composer.footer.branchSwitch.uncommittedDialog.commit":"ब्रांच कमिट करा आणि स्विच करा...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"खालील फाइल्ससाठी तुमचे बदल चेकआउटद्वारे ओव्हरराइट केले जातील:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"चालू ठेवण्यासाठी कृपया तुमचे बदल कमिट करा","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"निवडलेली ब्रांच","composer.footer.branchSwitch.uncommittedDialog.title":"स्विच ब्रांचमध्ये बदल करा","composer.footer.branchSwitch.uncommittedSummaryPrefix":"कमिट न केलेले: {fileCount, plural, one {# फाइल} other {# फाइल्स}}","composer.forkSlashCommand.description":"स्थानिक किंवा एका नवीन वर्कट्रीमध्ये हा थ्रेड फोर्क करा","composer.forkSlashCommand.option.local.description":"नवीन स्थानिक थ्रेडमध्ये सुरू ठेवा","composer.forkSlashCommand.option.local.title":"स्थानिकमध्ये फोर्क करा","composer.forkSlashCommand.option.worktree.description":"नवीन वर्कट्रीमध्ये सुरू ठेवा","composer.forkSlashCommand.option.worktree.title":"नवीन वर्कट्रीमध्ये फोर्क करा","composer.forkSlashCommand.title":"फोर्क करा","composer.ideContextIndicator":"IDE संदर्भ","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE मधून संदर्भ समाविष्ट करा","composer.ideContextIndicator.tooltipToggle":"टॉगल करण्यासाठी","composer.ideContextSlashCommand.disableDescription":"IDE संदर्भ बंद करा","composer.ideContextSlashCommand.enableDescription":"तुमची सध्याची निवड, उघडलेल्या फाइल्स आणि तुमच्या IDE मधील इतर संदर्भ समाविष्ट करा","composer.ideContextSlashCommand.title":"IDE संदर्भ","composer.imageInputsUnsupported":"हे मॉडेल प्रतिमा इनपुटला सपोर्ट करत नाही. इतर मॉडेल वापरून पहा.","composer.imageUploadFailed":"प्रतिमा अपलोड करण्यात अपयशी","composer.includeIdeContextDropdown":"IDE संदर्भ समाविष्ट करा","composer.includeIdeContextDropdown.ariaLabel":"IDE संदर्भ समाविष्ट करा","composer.localCwdDropdown.addWorkspaceRoot":"नवीन प्रोजेक्ट जोडा","composer.localCwdDropdown.noActiveRoot":"तुमचा प्रोजेक्ट निवडा","composer.localCwdDropdown.noResults":"फोल्डर्स सापडले नाहीत","composer.localCwdDropdown.title":"तुमचा प्रोजेक्ट निवडा","composer.localTaskError":"संभाषण सुरू करताना त्रुटी आली","composer.mcpSlashCommand.description":"MCP सर्व्हर स्थिती दाखवा","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"प्रमाणित केलेले नाही","composer.mcpStatus.authOauth":"प्रमाणित केले (OAuth)","composer.mcpStatus.authToken":"प्रमाणित केले (API Key)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"बंद करा","composer.mcpStatus.disabled":"अक्षम केले","composer.mcpStatus.emptyLabel":"सर्व्हर्स:","composer.mcpStatus.emptyValue":"कोणतेही MCP सर्व्हर कॉन्फिगर केलेले नाहीत","composer.mcpStatus.enabled":"सक्षम केले","composer.mcpStatus.errorLabel":"स्टेटस:","composer.mcpStatus.errorValue":"MCP स्टेटस लोड करणे शक्य नाही","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"एजंट","composer.mode.agentMode.auto.dropdownLabel":"एजंट","composer.mode.agentMode.auto.optionLabel":"एजंट","composer.mode.agentMode.changePermission":"मोड स्विच करा","composer.mode.agentMode.custom":"कस्टम","composer.mode.agentMode.custom.dropdownLabel":"कस्टम","composer.mode.agentMode.custom.option":"कस्टम (config.toml)","composer.mode.agentMode.custom.optionLabel":"कस्टम (config.toml)","composer.mode.agentMode.customInfo.cancel":"रद्द करा","composer.mode.agentMode.customInfo.cli":"तुम्ही त्या सेटिंग्ज CLI मधून किंवा थेट फाइल एडिट करून बदलू शकता.","composer.mode.agentMode.customInfo.confirm":"कस्टम मोड वापरा","composer.mode.agentMode.customInfo.description":"कस्टम मोड तुमच्या खालीलमध्ये सेट केलेल्या मंजुरी आणि सँडबॉक्स धोरणांसाठी लागू होतो <link>config.toml</link> फाइल.","composer.mode.agentMode.customInfo.docs":"पर्यावरण दस्तऐवज अंमलबजावणीमध्ये मंजुरी आणि सँडबॉक्स धोरणे कॉन्फिगर करण्याबद्दल <link>अधिक जाणून घ्या</link>.","composer.mode.agentMode.customInfo.refresh":"सर्व बदल पुढील वेळी एजंट चालवल्यावर प्रभावी होतील.","composer.mode.agentMode.customInfo.title":"कस्टम मोड कसे काम करतो","composer.mode.agentMode.fullAccess":"एजंट (संपूर्ण प्रवेश)","composer.mode.agentMode.fullAccess.dropdownLabel":"एजंट (संपूर्ण प्रवेश)","composer.mode.agentMode.fullAccess.optionLabel":"एजंट (संपूर्ण प्रवेश)","composer.mode.agentMode.fullAccessConfirm.caution":"संपूर्ण प्रवेश सक्षम करताना सावधगिरी बाळगा. यामुळे डेटा गमावण्याचा, गळती होण्याचा किंवा अनपेक्षित वर्तनाचा धोका लक्षणीयरीत्या वाढतो.","composer.mode.agentMode.fullAccessConfirm.confirm":"हो, तरीही सुरू ठेवा","composer.mode.agentMode.fullAccessConfirm.description":"जेव्हा कोडेक्स पूर्ण प्रवेशासह चालते, तेव्हा ते तुमच्या कॉम्प्युटरवरील कोणतीही फाइल एडिट करू शकते आणि तुमच्या परवानगीशिवाय नेटवर्कवर कमांड चालवू शकते.","composer.mode.agentMode.fullAccessConfirm.goBack":"रद्द करा","composer.mode.agentMode.fullAccessConfirm.title":"संपूर्ण प्रवेश सक्षम करायचा?","composer.mode.agentMode.readOnly":"चॅट","composer.mode.agentMode.readOnly.dropdownLabel":"चॅट","composer.mode.agentMode.readOnly.optionLabel":"चॅट","composer.mode.agentMode.tooltip":"मोड स्विच करा","composer.mode.agentMode.tooltip.auto":"फाइल्स वाचा आणि एडिट करा आणि कमांड चालवा.","composer.mode.agentMode.tooltip.custom":"config.toml मध्ये सेट केलेली नवीनतम मंजुरी आणि सँडबॉक्स धोरणे वापरा.","composer.mode.agentMode.tooltip.fullAccess":"नेटवर्क प्रवेशासह कोडेक्स प्रोजेक्टच्या बाहेर फाइल्स एडिट करू शकते आणि कमांड चालवू शकते. वापरताना काळजी घ्या.","composer.mode.agentMode.tooltip.readOnly":"फाइल्स एडिट करण्यासाठी आणि कमांड चालविण्यासाठी मंजुरीची गरज लागते.","composer.mode.cloud.tooltip":"क्लाउड पर्यावरणात काम करा","composer.mode.contactAdmin":"अधिक प्रवेश मिळवण्यासाठी, तुमच्या ॲडमिनसोबत संपर्क साधा","composer.mode.local":"स्थानिक","composer.mode.local.learnMore":"अधिक जाणून घ्या","composer.mode.local.model.custom":"कस्टम","composer.mode.local.model.loadingModel":"मॉडेल लोड करत आहे","composer.mode.local.model.selecrReasoningEffort":"तर्कशक्ती निवडा","composer.mode.local.model.selectModel":"मॉडेल निवडा","composer.mode.local.model.tooltip":"मॉडेल निवडा","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"उच्च","composer.mode.local.reasoning.low.label":"कमी","composer.mode.local.reasoning.medium.label":"मध्यम","composer.mode.local.reasoning.minimal.label":"सर्वात कमी","composer.mode.local.reasoning.none.label":"काहीही नाही","composer.mode.local.reasoning.xhigh.label":"खूप उच्च","composer.mode.localRemoteWhereRun":"काम कुठे चालवायचे ते निवडा","composer.mode.newTask.header":"मध्ये सुरू ठेवा","composer.mode.rateLimit.day":"{days}दि","composer.mode.rateLimit.heading":"दराच्या मर्यादा शिल्लक आहेत","composer.mode.rateLimit.hour":"{hours}ता","composer.mode.rateLimit.minute":"{minutes}मि","composer.mode.rateLimit.modelSectionLabel":"{modelName} मर्यादा:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {आठवड्याची मर्यादा} other {{weeks} आठवड्यांची मर्यादा}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {साप्ताहिक} other {{weeks} आठवडे}}","composer.mode.remote.connectToCloud":"कोडेक्स वेबसोबत कनेक्ट करा","composer.mode.remote.connectToCloudDisabledTooltip":"क्लाउडवर कामे पाठवणे सक्षम करण्यासाठी कोडेक्स वेबवरून पर्यावरण सेट अप करा","composer.mode.remote.selectEnvironment":"पर्यावरण निवडा","composer.mode.remote.sendToCloud":"क्लाउडवर पाठवा","composer.mode.remote.setupViaWeb":"कोडेक्स वेबद्वारे पर्यावरण सेट अप करा","composer.mode.runInCloud":"क्लाउड","composer.mode.runInCloudWithEnvironment":"क्लाउड · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"क्लाउड पर्यावरणात काम करा","composer.mode.segmentedToggle.local.tooltip":"तुमच्या स्थानिक प्रोजेक्टमध्ये काम करा","composer.mode.segmentedToggle.worktree.tooltip":"समांतर वर्कट्रीमध्ये काम करा","composer.mode.upgradeToPlus":"Plus वर श्रेणीसुधारित करा","composer.mode.upgradeToPro":"Pro वर श्रेणीसुधारित करा","composer.mode.workLocally":"स्थानिक प्रोजेक्ट","composer.mode.workLocally.currentBranchFallback":"तुमची शाखा","composer.mode.workLocally.tooltip":"{branchName} मध्ये काम करा","composer.mode.worktree":"नवीन वर्कट्री","composer.mode.worktree.submoduleWarning":"या रेपोमध्ये गिट सबमॉड्यूल आहेत. वर्कट्री निर्मिती अयशस्वी होऊ शकते","composer.mode.worktree.tooltip":"एकाच वेळी काम करण्यासाठी तुमच्या स्थानिक प्रोजेक्टची एक प्रत तयार करा","composer.mode.worktreeSegment":"वर्कट्री","composer.modelChangeDuringConversationWarning.toast":"संभाषणाच्या दरम्यान मॉडेल बदलल्याने कामगिरी खराब होईल.","composer.newChat.heading.browser":"आता आपण कसले कोडिंग करूया?","composer.permissionsDropdown.agentMode.tooltip.custom":"कोडेक्स config.toml मध्ये दिलेली परवानगी वापरते.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"कोडेक्सला तुमच्या कॉम्प्यूटरमध्ये संपूर्ण प्रवेश आहे (वाढलेला धोका)","composer.permissionsDropdown.custom.label":"कस्टम (config.toml)","composer.permissionsDropdown.custom.optionLabel":"कस्टम (config.toml)","composer.permissionsDropdown.default.label":"डीफॉल्ट परवानगी","composer.permissionsDropdown.default.optionLabel":"डीफॉल्ट परवानगी","composer.permissionsDropdown.default.tooltip":"कोडेक्स सँडबॉक्समध्ये आपोआप कमांड्स चालवते","composer.permissionsDropdown.disabled.requirements":"परवानग्या requirements.toml द्वारे लॉक केलेल्या आहेत","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml द्वारे संपूर्ण प्रवेश अक्षम केला आहे","composer.permissionsDropdown.fullAccess.label":"पूर्ण प्रवेश","composer.permissionsDropdown.fullAccess.optionLabel":"पूर्ण प्रवेश","composer.permissionsDropdown.trigger.tooltip":"बदलाच्या परवानग्या","composer.personalitySlashCommand.description.friendly":"प्रेमळ, सहयोगी आणि उपयुक्त","composer.personalitySlashCommand.description.pragmatic":"संक्षिप्त, कामांवर केंद्रित आणि थेट","composer.personalitySlashCommand.label.friendly":"मैत्रीपूर्ण","composer.personalitySlashCommand.label.pragmatic":"व्यावहारिक","composer.personalitySlashCommand.notApplicableSuffix":"(सध्याच्या मॉडेलला लागू होत नाही)","composer.personalitySlashCommand.title":"व्यक्तिमत्व","composer.placeholder.cloudFollowUp.directFollowUp":"या क्लाउड कामाचा फॉलोअप","composer.placeholder.cloudFollowUp.local":"या क्लाउड कामाचा संदर्भ देणारे एक नवीन स्थानिक काम तयार करा","composer.placeholder.cloudFollowUp.workingTree":"तुमचा सध्याचा कोड समाविष्ट असलेले आणि या कामाचा संदर्भ देणारे एक नवीन क्लाउड काम तयार करा","composer.placeholder.localFollowUp.cloud":"नवीन क्लाउड कामामध्ये फॉलो अप","composer.placeholder.localFollowUp.locally":"फॉलो अप बदलांसाठी विचारा","composer.placeholder.newTask.cloud":"कोडेक्सला क्लाउडमध्ये काहीही करण्यास सांगा","composer.placeholder.newTask.doAnything":"कोडेक्सला काहीही करण्यास सांगा","composer.placeholder.newTask.locally":"Codex ला काहीही विचारा, फाइल्स जोडण्यासाठी @, कमांडसाठी /","composer.planModeDropdown":"योजना मोड","composer.planModeDropdown.ariaLabel":"योजना मोड","composer.planModeIndicator":"योजना","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"कोडेक्ससह एक योजना तयार करा","composer.planModeIndicator.tooltipToggle":"टॉगल करण्यासाठी","composer.planSlashCommand.disableDescription":"योजना मोड बंद करा","composer.planSlashCommand.enableDescription":"योजना मोड चालू करा","composer.planSlashCommand.title":"योजना मोड","composer.priorContext.label":"मागील संदर्भ","composer.priorContext.removeAriaLabel":"मागील संदर्भ काढून टाका","composer.queuedMessage.delete":"रांगेतील मेसेज हटवा","composer.queuedMessage.edit":"संदेश संपादित करा","composer.queuedMessage.more":"रांगेतील मेसेजसंबंधी क्रिया","composer.queuedMessage.sendNow":"स्टीअर करा","composer.queuedMessage.sendNowTooltip":"कामात व्यत्यय न आणता लगेच पाठवा","composer.queuedMessage.turnOff":"रांग लावणे बंद करा","composer.reasoningEffort.local.reasoning.tooltip":"तर्क करण्याचा प्रयत्न निवडा","composer.remote.branchStartingPoint":"हे काम कोणत्या शाखेपासून सुरू झाले पाहिजे?","composer.remote.branchesSectionHeading":"शाखा","composer.remote.currentEditsSuffix.followUp":"या क्लाउड कामाचा संदर्भ देणारे एक नवीन काम तयार करा.","composer.remote.currentEditsSuffix.useLocal":"स्थानिक कोड बदलांसह","composer.remote.directFollowUp":"स्थानिक बदल वापरू नका","composer.remote.errorLoadingBranches":"शाखा लोड करताना त्रुटी","composer.remote.fromBranch":"{branch} पासून","composer.remote.fromCurrentBranch":"{branch} पासून (सध्याची शाखा)","composer.remote.loadingMoreBranches":"लोड करत आहे…","composer.remote.localFileStateHeading":"स्थानिक फाइल स्थिती","composer.remote.localWorkingTree":"स्थानिक बदल वापरा","composer.remote.startingPoint":"हे काम कोणत्या कोडपासून सुरू झाले पाहिजे?","composer.reviewMode.branches.error":"शाखा लोड करू शकत नाही","composer.reviewMode.branches.retry":"पुन्हा प्रयत्न करा","composer.reviewMode.gitRoot.error":"Git रूट सापडले नाही","composer.reviewMode.option.baseBranch.simple":"मूळ शाखेच्या संदर्भात पुनरावलोकन करा","composer.reviewMode.option.unstaged.simple":"कमिट न केलेल्या बदलांचे पुनरावलोकन करा","composer.reviewMode.quickReviewError":"कोडचे पुनरावलोकन सुरू करू शकलो नाही.","composer.reviewMode.title":"कोडचे पुनरावलोकन","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml द्वारे संपूर्ण प्रवेश अक्षम केला आहे","composer.sandboxButton.windowsSandboxDialog.content":"फाइलसिस्टम आणि नेटवर्क प्रवेश मर्यादित करण्यासाठी कोडेक्स Windows वर प्रायोगिक सँडबॉक्स वापरू शकते. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows सँडबॉक्स सक्षम करायचा?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"फक्त-वाचणे वापरा","composer.searchEnvironments":"पर्यावरणे शोधा","composer.skillMentionList.app":"ॲप","composer.skillMentionList.loading":"कौशल्ये लोड करत आहे…","composer.skillMentionList.noResults":"कौशल्ये सापडली नाहीत","composer.slashCommands.cloudEnvironment.title":"क्लाउड पर्यावरण","composer.slashCommands.dialogLabel":"स्लॅश कमांड मेनू","composer.slashCommands.dialogTitle":"स्लॅश कमांड्स","composer.slashCommands.disabledTooltip":"स्लॅश कमांड्स वापरण्यासाठी नवीन संभाषण सुरू करा","composer.slashCommands.inputPlaceholder":"शोधा","composer.slashCommands.noResults":"कमांड्स नाहीत","composer.slashCommands.skillsGroup":"कौशल्ये","composer.slashCommands.tooltip":"स्लॅश कमांड्स ब्राउझ करा","composer.status.close":"बंद करा","composer.statusPlain.alertLabel":"अलर्ट:","composer.statusPlain.alertValue":"{window} वर {remaining}% शिल्लक","composer.statusPlain.contextLabel":"संदर्भ:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used}वापरले / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% शिल्लक","composer.statusPlain.heading":"स्टेटस","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ची मर्यादा:","composer.statusPlain.rateLimitDays":"{count}दि मर्यादा","composer.statusPlain.rateLimitFallbackLabel":"दर मर्यादा:","composer.statusPlain.rateLimitHours":"{count}ता मर्यादा","composer.statusPlain.rateLimitLabelBase":"दर मर्यादा","composer.statusPlain.rateLimitMinutes":"{count}मि मर्यादा","composer.statusPlain.rateLimitPercent":"{remaining}% शिल्लक","composer.statusPlain.rateLimitReset":"{time} वाजता/रोजी रीसेट होते","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"रीसेट होण्याचा वेळ उपलब्ध नाही","composer.statusPlain.rateLimitUnavailable":"उपलब्ध नाही","composer.statusPlain.sessionCopiedAriaLabel":"सत्र आयडी कॉपी केला","composer.statusPlain.sessionCopiedTooltip":"आयडी कॉपी केला","composer.statusPlain.sessionCopyAriaLabel":"सत्र आयडी कॉपी करा","composer.statusPlain.sessionCopyTooltip":"आयडी कॉपी करा","composer.statusPlain.sessionLabel":"सत्र:","composer.statusSlashCommand.description":"थ्रेड आयडी, संदर्भात वापर आणि दर मर्यादा दाखवा","composer.statusSlashCommand.title":"स्टेटस","composer.submit.blockedDialogOk":"ठीक आहे","composer.submit.blockedDialogTitle":"मेसेज पाठवता आला नाही","composer.submit.emptyMessage":"सुरू करण्यासाठी मेसेज एंटर करा","composer.submit.imageInputsUnsupported":"हा मेसेज पाठवण्यासाठी प्रतिमा काढून टाका किंवा मॉडेल बदला.","composer.submit.loadingLocalConfig":"लोड करत आहे…","composer.submit.missingCloudConfig":"तुम्हाला क्लाउडवरील पर्यावरण निवडावे लागेल","composer.submit.missingCloudTurn":"या कामासाठी फॉलो अप करू शकत नाही","composer.submit.noWorkspace":"कोडेक्स वापरण्यासाठी एक प्रोजेक्ट जोडा","composer.submit.waitForImageUploads":"प्रतिमा अपलोड होते आहे…","composer.submitButtonTooltip.send":"पाठवा","composer.submitButtonTooltip.stop":"थांबा","composer.worktreeEnvironment.create":"स्थानिक पर्यावरण तयार करा","composer.worktreeEnvironment.default":"डीफॉल्ट पर्यावरण","composer.worktreeEnvironment.error":"पर्यावरण लोड करताना त्रुटी आली","composer.worktreeEnvironment.loading":"पर्यावरण लोड करत आहे...","composer.worktreeEnvironment.title":"स्थानिक पर्यावरण","composer.worktreeEnvironment.tooltip":"स्थानिक पर्यावरण निवडा","composer.worktreeSetupFailed":"वर्कट्री सेटअप अयशस्वी झाला. सेटअप स्क्रिप्टसाठी .codex/environments तपासा.","compoundButton.secondaryAction":"दुय्यम क्रिया","copyButton.copied":"कॉपी केले","copyButton.copiedAriaLabel":"कॉपी केले","copyButton.copy":"कॉपी करा","copyButton.copyAriaLabel":"कॉपी करा","copyButton.copyCode":"कोड कॉपी करा","diff.actionButton.revertFile":"फाइल पूर्ववत करा","diff.actionButton.revertHunk":"पूर्वस्थितीवर या","diff.actionButton.revertSection":"सर्व पूर्ववत करा","diff.actionButton.revertSectionLabel":"सर्व पूर्ववत करा","diff.actionButton.stageFile":"फाइल स्टेज करा","diff.actionButton.stageHunk":"स्टेज करा","diff.actionButton.stageSection":"सर्व स्टेज करा","diff.actionButton.stageSectionLabel":"सर्व स्टेज करा","diff.actionButton.unstageFile":"फाइल अनस्टेज करा","diff.actionButton.unstageHunk":"अनस्टेज करा","diff.actionButton.unstageSection":"सर्व अनस्टेज करा","diff.actionButton.unstageSectionLabel":"सर्व अनस्टेज करा","diff.fileHeader.toggle":"फाइल डिफ टॉगल करा","electron.onboarding.login.apikey.cancel":"रद्द करा","electron.onboarding.login.apikey.continue":"सुरू ठेवा","electron.onboarding.login.apikey.label":"OpenAI API की","electron.onboarding.login.apikey.open":"API की प्रविष्ट करा","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"साइन-इन रद्द करा","electron.onboarding.login.chatgpt.continue":"ChatGPT सह सुरू ठेवा","electron.onboarding.login.devbox":"रिमोट SSH सह कनेक्ट करा","electron.onboarding.login.error":"साइन इन अयशस्वी झाले: {rawMessage}","electron.onboarding.login.snake.start":"Snake खेळा","electron.onboarding.login.sshConfig.cancel":"रद्द करा","electron.onboarding.login.sshConfig.continue":"सुरू ठेवा","electron.onboarding.login.sshConfig.hostnameLabel":"SSH होस्टनाव","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"एजंटसह तयार करण्याचा सर्वोत्तम मार्ग","electron.onboarding.login.title":"कोडेक्समध्ये स्वागत आहे","electron.onboarding.shell.title":"कोडेक्स","electron.onboarding.welcome.continue":"सुरू ठेवा","electron.onboarding.welcome.doubleLimits.description":"कोडेक्स ॲप लाँचच्या उत्सवात, तुमच्याकडे 2 एप्रिलपर्यंत 2x दर मर्यादा आहेत.","electron.onboarding.welcome.freego.description":"कोडेक्स तुमच्या योजनेत 2 मार्च पर्यंत विनामूल्य समाविष्ट आहे – चला एकत्र निर्मिती सुरू करूया.","electron.onboarding.welcome.new.title.anon":"सुस्वागतम","electron.onboarding.workspace.continue":"सुरू ठेवा","electron.onboarding.workspace.empty":"सुरू ठेवण्यासाठी एक प्रोजेक्ट जोडा.","electron.onboarding.workspace.listLabel":"उपलब्ध प्रोजेक्ट","electron.onboarding.workspace.loading":"प्रोजेक्ट लोड करत आहे…","electron.onboarding.workspace.openFolder":"प्रोजेक्ट जोडा","electron.onboarding.workspace.selectAll":"सर्व निवडा","electron.onboarding.workspace.skip":"वगळा","electron.onboarding.workspace.skip.error":"नवीन प्रोजेक्ट तयार करू शकत नाही: {message}","electron.onboarding.workspace.skip.error.unknown":"अज्ञात त्रुटी","electron.onboarding.workspace.skipping":"नवीन प्रोजेक्ट तयार करत आहे…","electron.onboarding.workspace.subtitle":"कोडेक्स निवडलेल्या फोल्डरमध्ये फाइल्स संपादित करण्यास आणि कमांड चालवण्यास सक्षम असेल.","electron.onboarding.workspace.title":"एक प्रोजेक्ट निवडा","errorPage.list.checkSettings":"तुमच्या IDE सेटिंग्ज अपडेट करून पहा","errorPage.list.configToml":"तुमच्या config.toml मध्ये अमान्य सेटिंग्ज आहेत का ते तपासा","errorPage.list.downloadExtension":"एक्सटेंशनची वेगळी आवृत्ती डाउनलोड करून पहा","errorPage.list.runInWsl":"तुम्हाला सुसंगततेसंबंधी समस्या येत असतील, तर WSL मध्ये चालवणे अक्षम करण्यासाठी तुमच्या सेटिंग्ज तपासा.","execApprovalRequest.menu.runAlways":"होय आणि या सत्रात पुन्हा विचारू नका","execApprovalRequest.menu.runAlwaysWithAmendment":"होय, आणि {command} ने सुरू होणाऱ्या कमांडसाठी पुन्हा विचारू नका","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"होय, आणि यासह सुरू होणाऱ्या कमांडसाठी पुन्हा विचारू नका","execApprovalRequest.menu.runOnce":"होय","execApprovalRequest.prompt":"तुम्हाला ही कमांड चालवायची आहे?","execApprovalRequest.reject":"नाही","execFooter.exitCode":"बाहेर पडण्याचा कोड {code}","execFooter.exitCode.unknown":"अज्ञात","execFooter.success":"यश मिळाले","feedback.dialog.category.badResult":"चुकीचा परिणाम","feedback.dialog.category.bug":"बग","feedback.dialog.category.goodResult":"चांगला परिणाम","feedback.dialog.category.other":"इतर","feedback.dialog.descriptionPlaceholder":"समस्येचे वर्णन येथे करा","feedback.dialog.dismiss":"हे नको","feedback.dialog.includeLogsLabel":"सध्याच्या कोडेक्स सत्राचे लॉग्ज समाविष्ट करा","feedback.dialog.submit":"सबमिट करा","feedback.dialog.submitError":"आम्हाला तुमचा अभिप्राय सबमिट करता आला नाही. कृपया काही क्षणात पुन्हा प्रयत्न करा.","feedback.dialog.title":"अभिप्राय","feedback.dialog.uploadedMessage.existingIssue":"सध्याची खुली समस्या","feedback.dialog.uploadedMessage.openIssue":"GitHub वर समस्या उघडा","feedback.dialog.uploadedMessage.withThread":"अभिप्राय अपलोड केला. समस्या कायम राहिल्यास, कृपया {openIssueLink}किंवा एका {existingIssueLink} मध्ये थ्रेड आयडी नमूद करा:","feedback.dialog.uploadedTitle":"अभिप्राय अपलोड केला","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} काढून टाका","header.back":"मागे","header.recentChats":"कामे","header.recentTasks.seeAll":"सर्व पहा ({total})","home.header.getPlus":"Plus मिळवा","home.hero.letsBuild":"चला तयार करूया","homePage.mainContent":"मुख्य काँटेंट","imageAttachment.defaultName":"प्रतिमा","imageAttachment.preview.close":"प्रतिमा पूर्वावलोकन बंद करा","imageAttachment.removeAriaLabel":"{filename} काढून टाका","implementPlanRequest.option.implement":"होय, या योजनेची अंमलबजावणी करा","implementPlanRequest.prompt":"या योजनेची अंमलबजावणी करायची?","inbox.archived.deleteError":"संग्रहित रन हटवता आला नाही","inbox.archived.deleteRun":"संग्रहित रन हटवा","inbox.archived.deleteSuccess":"संग्रहित थ्रेड हटवला. <settingsLink>संग्रहित थ्रेड्स</settingsLink> मध्ये पहा.","inbox.archived.inlineLabel.auto":"हा थ्रेड आपोआप संग्रहित केला गेला. <learnMoreLink>अधिक जाणून घ्या</learnMoreLink>","inbox.archived.inlineLabel.manual":"हा थ्रेड संग्रहित केला गेला आहे.","inbox.archived.noMessageFound":"कोणताही मेसेज आढळला नाही","inbox.automations.createError":"ऑटोमेशन तयार करता आले नाही","inbox.automations.deleteConfirm.cancel":"रद्द करा","inbox.automations.deleteConfirm.confirm":"ऑटोमेशन हटवा","inbox.automations.deleteConfirm.description":"याने ऑटोमेशन नेहमीसाठी हटवले जाईल आणि भविष्यात चालणे थांबवेल.","inbox.automations.deleteConfirm.title":"{name} हटवायचे?","inbox.automations.deleteError":"ऑटोमेशन हटवता आले नाही","inbox.automations.editTooltip":"ऑटोमेशन एडिट करा","inbox.automations.inProgress":"सुरू आहे","inbox.automations.new":"नवीन","inbox.automations.newToolbar":"नवीन ऑटोमेशन","inbox.automations.pauseTooltip":"ऑटोमेशन थांबवा","inbox.automations.resumeTooltip":"ऑटोमेशन पुन्हा सुरू करा","inbox.automations.startingNow":"आता सुरू करत आहे","inbox.automations.startsIn":"{startTime} मध्ये सुरू होईल","inbox.automations.status.active":"सक्रिय","inbox.automations.status.paused":"थांबवले","inbox.automations.status.runs":"{count} वेळा चालले","inbox.automations.status.started":"{date} रोजी सुरू झाले","inbox.automations.updateError":"ऑटोमेशन अद्ययावत करता आले नाही","inbox.automations.workspaceFallback":"-","inbox.filter.all":"सर्व","inbox.filter.ariaLabel":"इनबॉक्समधील आयटम्स फिल्टर करा","inbox.filter.unread":"न वाचलेले","inbox.list.archived":"आर्काइव्ह केलेले","inbox.list.inProgress":"सुरू आहे","inbox.list.recent":"पूर्ण झाले","inbox.list.upNext":"शेड्यूल केलेले","inbox.mode.automations":"ऑटोमेशन्स","inbox.mode.automations.beta":"बीटा","inbox.noDescription":"वर्णन दिलेले नाही","inbox.openThread":"थ्रेड उघडा","inbox.rightPanel.emptySubtitle":"शेड्यूल केलेली कामे सेट करून काम स्वयंचलित करा","inbox.rightPanel.emptySubtitle.learnMore":"शेड्यूल केलेली कामे सेट अप करून काम ऑटोमेट करा.<link>अधिक जाणून घ्या</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# सक्रिय ऑटोमेशन} other {# सक्रिय ऑटोमेशन्स}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"कोणतेही न वाचलेले ऑटोमेशन्स नाहीत","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# न वाचलेले ऑटोमेशन} other {# न वाचलेले ऑटोमेशन्स}}","inbox.rightPanel.emptyTitle":"आयटम्स निवडलेले नाहीत","inbox.rightPanel.noThread":"या आयटमसाठी कोणताही थ्रेड नाही","inbox.rightPanel.quickStart.header":"टेम्पलेटवरून सुरुवात करा","inbox.untitled":"विनाशीर्षक इनबॉक्स आयटम","loadingPage.documentationLink":"दस्तऐवज","loadingPage.errorDescription":"कोडेक्स खालील त्रुटीसह क्रॅश झाले:","loadingPage.errorDescription.documentation":"कोडेक्स एक्सटेंशन पुन्हा सुरू करण्यासाठी रीलोड करा वर क्लिक करा किंवा अतिरिक्त मदतीसाठी आमच्या {documentationLink} ला भेट द्या.","loadingPage.errorSignal":"प्रयत्न करण्यासारख्या काही गोष्टी:","loadingPage.errorTitle":"एक त्रुटी आली आहे","loadingPage.openConfigToml":"Config.toml उघडा","loadingPage.reload":"रीलोड करा","localConversation.contextCompacted":"संदर्भ आपोआप लहान केला","localConversation.contextCompacting":"संदर्भ आपोआप लहान करत आहे","localConversation.forkedFromConversation":"{threadTitle} वरून फोर्क केले","localConversation.merge.autoResolve.failed":"आपोआप निराकरणाची विनंती पाठवता आली नाही: {error}","localConversation.merge.autoResolve.sent":"आपोआप निराकरणाची विनंती पाठवली","localConversation.merge.autoResolveMerge.missingConversation":"सक्रिय संभाषणाशिवाय आपोआप निराकरण करणे शक्य नाही.","localConversation.merge.autoResolveMerge.request":"विलीन करण्याच्या वादांचे आपोआप निराकरण करा","localConversation.modelChanged":"मॉडेल {fromModel} वरून {toModel} वर बदलले.","localConversation.modelChanged.warning.line1":"संभाषणाच्या दरम्यान मॉडेल बदलल्याने कामगिरी खराब होईल.","localConversation.modelChanged.warning.line2":"संदर्भ आपोआप लहान केला जाऊ शकेल.","localConversation.moveThread.createBranch.label":"शाखा तयार करा","localConversation.moveToLocal.disabled.loading":"लोड करत आहे…","localConversation.moveToLocal.modal.continue":"सुरू ठेवा","localConversation.moveToLocal.modal.destinationLabel":"येथे हलवा","localConversation.moveToLocal.modal.retry":"पुन्हा प्रयत्न करा","localConversation.moveToWorktree.modal.back":"मागे","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ही शाखा आधीच अस्तित्वात आहे.","localConversation.moveToWorktree.modal.branchesError":"शाखा लोड करू शकत नाही","localConversation.moveToWorktree.modal.branchesLoading":"शाखा लोड होत आहेत…","localConversation.moveToWorktree.modal.branchesRetry":"पुन्हा प्रयत्न करा","localConversation.moveToWorktree.modal.continue":"सुरू ठेवा","localConversation.moveToWorktree.modal.retry":"पुन्हा प्रयत्न करा","localConversation.moveToWorktree.modal.trailingSlashError":"शाखेच्या नावाच्या शेवटी “/” असू शकत नाही.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"नवीन-शाखा","localConversation.personalityChanged":"{personality} व्यक्तिमत्वावर स्विच केले","localConversation.planSummary.collapse":"योजनेचा सारांश लहान करा","localConversation.planSummary.collapseTooltip":"लहान करा","localConversation.planSummary.download":"योजना डाउनलोड करा","localConversation.planSummary.expand":"योजनेचा सारांश मोठा करा","localConversation.planSummary.expandTooltip":"मोठे करा","localConversation.planSummary.openInNewWindow":"उघडा","localConversation.planSummary.openInNewWindow.tooltip":"नवीन विंडोमध्ये उघडा","localConversation.planSummary.title":"योजना","localConversation.planSummary.titleWriting":"योजना लिहित आहे","localConversation.planSummary.viewPlan":"योजनेचा विस्तार करा","localConversation.remoteTaskCreated":"कोडेक्स क्लाउडमध्ये {taskLink} तयार केले","localConversation.remoteTaskCreated.task":"काम","localConversation.scrollToBottomButton":"सर्वात खालपर्यंत स्क्रोल करा","localConversation.sync.buttonLabel":"स्थानिककडे हस्तांतरित करा","localConversation.sync.buttonLabel.tooltip":"या वर्कट्री आणि तुमच्या स्थानिक चेकआउटमधील बदल हँड ऑफ करा.","localConversation.sync.modal.loading.title":"बदल हस्तांतरित करत आहे…","localConversation.sync.modal.noChanges":"एकही बदल नाही","localConversation.syncSetup.branchAriaLabel":"शाखेचे नाव","localConversation.syncSetup.branchName":"शाखेचे नाव","localConversation.syncSetup.branchPlaceholder.existing":"विद्यमान शाखा निवडा","localConversation.syncSetup.branchPlaceholder.new":"कोडेक्स/नवीन-वैशिष्ट्य","localConversation.syncSetup.branchesLoading":"शाखा लोड होत आहेत…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"आधीच चेक आउट केले आहे","localConversation.syncSetup.checkoutClean":"सध्या {branchName} वर आहे","localConversation.syncSetup.checkoutDirty":"कमिट न केलेल्या बदलांसह सध्या {branchName} वर आहे","localConversation.syncSetup.checkoutError":"शाखा चेक आउट करता आली नाही: {message}","localConversation.syncSetup.checkoutLabel":"आता स्थानिकरित्या चेक आउट करा","localConversation.syncSetup.checkoutOnLocal":"स्थानिककडे हस्तांतरित करा","localConversation.syncSetup.checkoutPending":"स्थानिक स्टेटस तपासत आहे…","localConversation.syncSetup.checkoutUnavailable":"स्थानिक कार्यक्षेत्र उपलब्ध नाही","localConversation.syncSetup.checkoutUnknown":"स्थानिक शाखा उपलब्ध नाही","localConversation.syncSetup.continue":"सुरू ठेवा","localConversation.syncSetup.createBranchError":"शाखेचे हस्तांतरण सेट करता आले नाही: {message}","localConversation.syncSetup.error":"काहीतरी चुकले: {message}","localConversation.syncSetup.error.workingTreeMissing":"वर्कट्रीचा स्नॅपशॉट घेता आला नाही. कृपया हस्तांतरण पुन्हा करून पहा.","localConversation.syncSetup.mode.ariaLabel":"शाखा मोड निवडा","localConversation.syncSetup.mode.existing":"विद्यमान शाखा","localConversation.syncSetup.mode.new":"नवीन शाखा","localConversation.syncSetup.noBranches":"कोणत्याही शाखा आढळल्या नाहीत","localConversation.syncSetup.overwriteError":"शाखा तयार झाली आहे, पण संपूर्णपणे हस्तांतरित झालेली नाही. स्थानिक पातळीवर चेक आउट करण्यापूर्वी मॅन्युअली हस्तांतरित करा.","localConversation.syncSetup.setPrefix":"प्रीफिक्स सेट करा","localConversation.syncSetup.subtitle":"वर्कट्री बदलांची स्थानिक पातळीवर चाचणी करा आणि त्यांना एडिट करा. <a>अधिक जाणून घ्या</a>","localConversation.syncSetup.success.checkedOut":"शाखा तयार केली गेली आणि स्थानिक पातळीवर चेक आउट केली","localConversation.syncSetup.success.notCheckedOut":"शाखा तयार झाली","localConversation.syncSetup.title":"स्थानिक शाखेकडे हस्तांतरित करा","localConversation.syncWorktreeError.branchAriaLabel":"शाखेचे नाव","localConversation.syncWorktreeError.branchPlaceholder.new":"कोडेक्स/नवीन-वैशिष्ट्य","localConversation.syncWorktreeError.branchSetup.subtitle":"हस्तांतरित करण्यासाठी एक शाखा निवडा आणि नंतर बदल लोड करण्याचा पुन्हा प्रयत्न करा.","localConversation.syncWorktreeError.branchSetup.title":"शाखा अद्ययावत करा","localConversation.syncWorktreeError.branchUpdate.cta":"अद्यतनित करा आणि पुन्हा प्रयत्न करा","localConversation.syncWorktreeError.branchUpdate.error":"शाखा अद्यतनित करता आली नाही: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"काहीतरी चुकले: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"शाखा कोणत्याही वर्कट्रीमध्ये चेक आउट केलेली नाही.","localConversation.syncWorktreeV2.applyUncommitted":"लागू करा","localConversation.syncWorktreeV2.applyUncommitted.disabled":"कमिट न केलेले बदल लागू करण्यासाठी तुम्ही स्थानिक पातळीवर शाखा चेक आउट केली पाहिजे","localConversation.syncWorktreeV2.branches.empty":"कोणत्याही शाखा आढळल्या नाहीत","localConversation.syncWorktreeV2.branches.loading":"शाखा लोड होत आहेत…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"हस्तांतरण शाखा बदला","localConversation.syncWorktreeV2.changeBranch.error":"हस्तांतरण शाखा बदलता आली नाही: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"लागू करता आले नाही","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"वर्कट्री ओव्हरराइट करणे अयशस्वी झाले","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"स्थानिक ओव्हरराइट करणे अयशस्वी झाले","localConversation.syncWorktreeV2.commandError.back":"मागे","localConversation.syncWorktreeV2.commandError.body":"हस्तांतरण करताना एक git कमांड अयशस्वी झाली. आउटपुटचे पुनरावलोकन करा आणि पुन्हा प्रयत्न करा","localConversation.syncWorktreeV2.commandError.retry":"पुन्हा प्रयत्न करा","localConversation.syncWorktreeV2.description":"स्थानिक आणि या वर्कट्री दरम्यान बदल हस्तांतरित करा <a>अधिक जाणून घ्या</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"हस्तांतरणाची दिशा निवडा","localConversation.syncWorktreeV2.error.generic":"हस्तांतरण करताना काहीतरी चूक झाली. पुन्हा प्रयत्न करा.","localConversation.syncWorktreeV2.localBranchLabel":"स्थानिक","localConversation.syncWorktreeV2.noChanges":"बदलांची गणना करत आहे","localConversation.syncWorktreeV2.noChanges.summary":"एकही बदल नाही","localConversation.syncWorktreeV2.overwrite.local":"स्थानिक ओव्हरराइट करा","localConversation.syncWorktreeV2.overwrite.worktree":"वर्कट्री ओव्हरराइट करा","localConversation.syncWorktreeV2.partial.action.applyFailed":"बदल लागू करता आले नाहीत","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"स्थानिक बदल ओव्हरराइट करू शकत नाही","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"वर्कट्रीतील बदल ओव्हरराइट करू शकत नाही","localConversation.syncWorktreeV2.partial.appliedLabel":"लागू केले","localConversation.syncWorktreeV2.partial.back":"मागे","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"वाद सोडवा आणि पुन्हा प्रयत्न करा.","localConversation.syncWorktreeV2.partial.conflictsLabel":"वाद","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# फाइल} other {# फाइल्स}}","localConversation.syncWorktreeV2.partial.retry":"पुन्हा प्रयत्न करा","localConversation.syncWorktreeV2.partial.skippedLabel":"वगळली(ल्या)","localConversation.syncWorktreeV2.stateFailed.generic":"हस्तांतरित करण्यासाठी वर्कट्रीतील बदल मिळवताना काहीतरी चूक झाली. कृपया पुन्हा प्रयत्न करा.","localConversation.syncWorktreeV2.stateFailed.title":"वर्कट्रीतील बदल लोड करता आले नाहीत","localConversation.syncWorktreeV2.statusError.diffUnknown":"वर्कट्रीतील बदल लोड करता आले नाहीत.","localConversation.syncWorktreeV2.statusError.retry":"पुन्हा प्रयत्न करा","localConversation.syncWorktreeV2.statusError.title":"स्थानिक शाखेमधील बदल लोड करता आले नाहीत","localConversation.syncWorktreeV2.statusError.unknown":"शाखेची स्थिती सध्या उपलब्ध नाही. पुन्हा प्रयत्न करा.","localConversation.syncWorktreeV2.success.apply":"बदल यशस्वीरित्या लागू केले","localConversation.syncWorktreeV2.success.overwrite":"हस्तांतरण यशस्वी झाले","localConversation.syncWorktreeV2.title":"बदल हस्तांतरित करा","localConversation.syncWorktreeV2.worktreeLabel":"वर्कट्री","localConversation.userInputRequest.inProgress":"{count, plural, one {प्रश्न} other {प्रश्न}} विचारत आहे","localConversation.userInputRequest.noAnswer":"कोणतेही उत्तर दिलेले नाही","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"विचारले","localConversation.userInputRequest.summary.count":"{count, plural, one {# प्रश्न} other {# प्रश्न}}","localConversation.workedFor":"{time} एवढा वेळ काम केले","localConversation.worktreeBranchSetup.action.create":"तयार करा","localConversation.worktreeBranchSetup.branchAriaLabel":"शाखेचे नाव","localConversation.worktreeBranchSetup.branchPlaceholder.new":"नवीन शाखा तयार करा","localConversation.worktreeBranchSetup.checkoutDisabled":"ही शाखा आधीच {location} वर चेक आउट केली आहे","localConversation.worktreeBranchSetup.checkoutError":"शाखा चेक आउट करता आली नाही: {message}","localConversation.worktreeBranchSetup.createBranchError":"शाखा सेट करता आली नाही: {message}","localConversation.worktreeBranchSetup.error":"काहीतरी चुकले: {message}","localConversation.worktreeBranchSetup.subtitle":"बदल कमिट करण्यासाठी, पुश करण्यासाठी आणि या वर्कट्रीमधून PR तयार करण्यासाठी एक शाखा तयार करा. <a>अधिक जाणून घ्या</a>","localConversation.worktreeBranchSetup.title":"येथे काम करा","localConversationPage.addWorktreeToSidebar.tooltip":"प्रोजेक्ट म्हणून जतन करा, म्हणजे तुम्ही या वर्कट्रीमधून नवीन थ्रेड्स सुरू करू शकाल","localConversationPage.addWorktreeToSidebarError":"प्रोजेक्ट जोडता आला नाही","localConversationPage.commitAndCreatePrModal.errorTitle":"कमिट करून PR तयार करणे अयशस्वी झाले","localConversationPage.commitAndCreatePrModal.successTitle":"कमिट केले आणि PR तयार केले","localConversationPage.commitAndPushModal.errorTitle":"कमिट आणि पुश करणे अयशस्वी झाले","localConversationPage.commitAndPushModal.successTitle":"कमिट केले आणि बदल पुश केले","localConversationPage.commitCreatePr.open":"पुल विनंती उघडा","localConversationPage.commitCreatePr.successTitle":"तुमच्या नवीनतम बदलांसह PR तयार केले","localConversationPage.createBranchButtonLabel":"शाखा येथे तयार करा","localConversationPage.createPrModal.baseBranch":"बेस","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR तयार करा","localConversationPage.createPrModal.createDescription":"तुमच्या नवीनतम बदलांसाठी एक पुल विनंती उघडा.","localConversationPage.createPrModal.errorTitle":"पुल विनंती अयशस्वी झाली","localConversationPage.createPrModal.headBranch":"मुख्य","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR उघडा","localConversationPage.createPrModal.successTitle":"पुल विनंती तयार केली","localConversationPage.createPrModal.title":"पुल विनंती तयार करा","localConversationPage.createPrModal.viewDescription":"या शाखेसाठी एक पुल विनंती आधीच अस्तित्वात आहे.","localConversationPage.createPrModal.viewTitle":"पुल विनंती तयार आहे","localConversationPage.createPullRequestAuthGh":"GitHub CLI प्रमाणीकृत करा: `gh auth login` चालवा","localConversationPage.createPullRequestBranchMissing":"शाखेची माहिती उपलब्ध नाही","localConversationPage.createPullRequestButtonLabel":"PR तयार करा","localConversationPage.createPullRequestButtonLabel.loading":"PR तयार करत आहे...","localConversationPage.createPullRequestDefaultBranchMissing":"शाखेची डीफॉल्ट माहिती उपलब्ध नाही","localConversationPage.createPullRequestError":"पुल विनंती तयार करता आली नाही","localConversationPage.createPullRequestExistingPullRequest":"या शाखेसाठी एक पुल विनंती आधीच अस्तित्वात आहे","localConversationPage.createPullRequestGhStatusMissing":"Github CLI स्टेटस लोड करत आहे…","localConversationPage.createPullRequestInstallGh":"PRs तयार करण्यासाठी Github CLI (gh) इंस्टॉल करा","localConversationPage.createPullRequestNoRepo":"git रिपॉझिटरी सापडली नाही","localConversationPage.createPullRequestPushStatusMissing":"पुश स्टेटस लोड करत आहे…","localConversationPage.createPullRequestSetUpstream":"PR तयार करण्यापूर्वी ही शाखा पुश करा","localConversationPage.createPullRequestSuccessToast":"पुल विनंती तयार केली","localConversationPage.createPullRequestSwitchBranch":"PR तयार करण्यापूर्वी वैशिष्ट्य शाखा चेकआउट करा","localConversationPage.error.render":"स्थानिक संभाषण दाखवताना त्रुटी आली","localConversationPage.error.toast":"संभाषण आढळले नाही","localConversationPage.forcePushError":"सक्तीने पुश करणे अयशस्वी झाले","localConversationPage.generatePullRequestMessageError":"पुल विनंती शीर्षक आणि बॉडी जनरेट करण्यात अयशस्वी","localConversationPage.generatePullRequestMessageFailed":"पुल विनंती शीर्षक आणि बॉडी जनरेट करण्यात अयशस्वी.","localConversationPage.gitActionResult.branch":"शाखा","localConversationPage.gitActionResult.cancel":"रद्द करा","localConversationPage.gitActionResult.close":"बंद करा","localConversationPage.gitActionResult.tryAgain":"पुन्हा प्रयत्न करा","localConversationPage.gitActions":"Git क्रिया","localConversationPage.newChat":"नवीन चॅट","localConversationPage.openInTarget":"यामध्ये उघडा","localConversationPage.openPrimaryTarget":"उघडा","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# काम पूर्ण झाले} other {# कामे पूर्ण झाली}} पैकी {completedItems}","localConversationPage.pushAuthError":"पुश अपयशी झाले: प्रमाणीकरण अनिवार्य आहे","localConversationPage.pushBranchMissing":"शाखेची माहिती उपलब्ध नाही","localConversationPage.pushButtonLabel":"पुश","localConversationPage.pushButtonLabel.loading":"पुश करत आहे...","localConversationPage.pushError":"बदल पुश करता आले नाहीत","localConversationPage.pushModal.branchLabel":"शाखा","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"रद्द करा","localConversationPage.pushModal.confirm":"पुश","localConversationPage.pushModal.description":"रिमोट रिपॉझिटरीवर तुमचे नवीनतम कमिट पुश करा.","localConversationPage.pushModal.errorTitle":"पुश अयशस्वी झाले","localConversationPage.pushModal.forcePush":"सक्तीने पुश करा","localConversationPage.pushModal.successTitle":"पुश पूर्ण झाले","localConversationPage.pushModal.title":"बदल पुश करा","localConversationPage.pushModal.tryAgain":"पुन्हा प्रयत्न करा","localConversationPage.pushNoUpstream":"ही शाखा पुश करण्यापूर्वी अपस्ट्रीम सेट करा","localConversationPage.pushNoUpstreamError":"पुश अपयशी झाले: अपस्ट्रीम कॉन्फिगर केलेले नाही","localConversationPage.pushNothingToPush":"पुश करण्यासाठी नवीन कमिट्स नाहीत","localConversationPage.pushRemoteChangedError":"पुश अपयशी झाले: रिमोटवर नवीन कमिट्स आहेत","localConversationPage.pushRemoteRejectedError":"रिमोटने पुश नाकारले","localConversationPage.pushStatusMissing":"पुश स्टेटस लोड करत आहे…","localConversationPage.pushSuccessToast":"पुश केलेले बदल","localConversationPage.viewPullRequestButtonLabel":"PR पहा","localConversationPage.viewPullRequestButtonLabel.loading":"पुल विनंती लोड करत आहे…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# फाइल} other {# फाइल्स}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# यादी} other {# याद्या}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# शोध} other {# शोध}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"एक्सप्लोर करत आहे","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"एक्सप्लोर केले","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} एक्सप्लोर केले","localConversationTurnStory.showContent":"सामग्री दाखवा","localConversationTurnStory.streamContent":"स्ट्रीम सामग्री","localConversationTurnStory.toggleReasoning":"तर्कशक्ती दाखवा","localTaskRow.archiveError":"संभाषण संग्रहित करता आले नाही","localTaskRow.resumeError":"काम पुन्हा सुरू करता आले नाही","mermaidDiagram.ariaLabel":"Mermaid डायग्राम","mermaidDiagram.copySource":"Mermaid कॉपी करा","mermaidDiagram.originalCode":"Mermaid स्रोत कोड","notifications.permissions.description":"नोटिफिकेशन परवानग्या पाहिजे असतील तेव्हा अलर्ट दाखवा","notifications.permissions.label":"परवानगी नोटिफिकेशन सक्षम करा","notifications.turnMode.always":"नेहमी","notifications.turnMode.description":"काम पूर्ण केल्यावर कोडेक्सने तुम्हाला कधी अलर्ट करावे हे सेट करा","notifications.turnMode.label":"पूर्ण झाल्याच्या नोटिफिकेशन चालू करा","notifications.turnMode.off":"कधीही नाही","notifications.turnMode.unfocused":"फक्त फोकस नसताना","patchApprovalRequest.approve":"मंजूर करा","patchApprovalRequest.menu.allowAlways":"होय आणि या सत्रात पुन्हा विचारू नका","patchApprovalRequest.menu.allowForSession":"होय आणि या सत्रात पुन्हा विचारू नका","patchApprovalRequest.menu.allowOnce":"होय","patchApprovalRequest.prompt":"तुम्हाला हे बदल करायचे आहेत?","patchApprovalRequest.reject":"नाही","patchApprovalRequest.waitingForApproval":"फाइल्स एडिट करण्यासाठी मंजुरीची वाट बघत आहे","pendingRequest.approvalExec.collapse":"लहान करा","pendingRequest.approvalExec.expand":"मोठे करा","pendingRequestStory.toastAnswer":"उत्तर: {answer}","pendingRequestStory.toastApprovalTitle":"मंजुरी प्रतिसाद","pendingRequestStory.toastFollowupPrompt":"प्रॉम्प्ट: {prompt}","pendingRequestStory.toastFollowupTitle":"फॉलो अप पाठवला","pendingRequestStory.toastNoAnswers":"कोणतीही उत्तरे दिलेली नाहीत","pendingRequestStory.toastQuestion":"प्रश्न: {question}","pendingRequestStory.toastUnknownDecision":"अज्ञात","pendingRequestStory.toastUserInputTitle":"सबमिट केलेली उत्तरे","quickAction.request.codeReview.branches.new":"{to} च्या संदर्भात {from} मधील बदलांचे कृपया पुनरावलोकन करा","quickAction.request.codeReview.uncommitted.new":"माझ्या कमिट न केलेल्या बदलांचे कृपया पुनरावलोकन करा","reasoningItem.thinking":"विचार करत आहे","reasoningItem.thought":"विचार केला","reasoningItem.thoughtWithElapsed":"{elapsed} साठी विचार केला","recentConversations.title":"अलीकडील संभाषणे","recentTasks.worktreeInitFailedTitle":"वर्कट्री इनिट अयशस्वी झाले","recentTasks.worktreeSettingUpTitle":"वर्कट्री सेट अप करत आहे","requestInputPanel.continue":"सुरू ठेवा","requestInputPanel.dismiss":"हे नको","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"येथे टाइप करा","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"नाही, आणि कोडेक्सला वेगळ्या पद्धतीने काय करायचे ते सांगा","requestInputPanel.selectedBadge":"निवडलेले","requestInputPanel.skip":"वगळा","requestInputPanel.submit":"सबमिट करा","review.commit.ariaLabel.includeUnstaged":"स्टेज न केलेले समाविष्ट करा","review.commit.buttonLabel":"कमिट","review.commit.disabled.committing":"कमिट करत आहे…","review.commit.disabled.loadingDiff":"डिफ लोड करत आहे…","review.commit.disabled.missingContext":"कमिट मेसेज जनरेट करण्यासाठी काही संदर्भ जोडा","review.commit.disabled.noChanges":"कमिट करण्यासाठी कोणतेही बदल नाहीत","review.commit.disabled.noSelection":"कमिट करण्यासाठी बदल निवडा","review.commit.disabled.unavailable":"सध्या कमिट उपलब्ध नाही","review.commit.error":"बदल कमिट करता आले नाहीत","review.commit.form.changesToBeCommitted":"बदल","review.commit.form.commitTo":"शाखा","review.commit.form.commitTo.none":"-","review.commit.form.continue":"सुरू ठेवा","review.commit.form.title":"तुमचे बदल कमिट करा","review.commit.generate.emptyResponse":"कमिट मेसेज जनरेट करता आला नाही.","review.commit.generate.failed":"कमिट मेसेज जनरेट करण्यात अयशस्वी: {error}","review.commit.generate.missingPrompt":"कमिट मेसेज जनरेट करण्यासाठी काही संदर्भ जोडा.","review.commit.includeUnstaged":"स्टेज न केलेले समाविष्ट करा","review.commit.loading.description":"धीर धरा, याला काही क्षण लागू शकतात…","review.commit.loading.step.commit.done":"बदल कमिट केले","review.commit.loading.step.commit.pending":"बदल कमिट करत आहे","review.commit.loading.step.createPr.done":"एक पुल विनंती तयार केली","review.commit.loading.step.createPr.pending":"एक पुल विनंती तयार करत आहे","review.commit.loading.step.push.done":"{branch} शाखेवर पुश केले","review.commit.loading.step.push.pending":"{branch} शाखेवर पुश करत आहे","review.commit.loading.title.commit":"बदल कमिट करत आहे","review.commit.loading.title.createPr":"PR तयार करत आहे","review.commit.loading.title.push":"बदल पुश करत आहे","review.commit.messageLabel":"कमिटचा मेसेज","review.commit.messagePlaceholder":"कमिट मेसेज आपोआप तयार करण्यासाठी रिकामे सोडा","review.commit.nextSteps":"पुढील पायऱ्या","review.commit.nextSteps.commit":"कमिट","review.commit.nextSteps.commitAndCreate":"कमिट करा आणि PR तयार करा","review.commit.nextSteps.commitAndPush":"कमिट आणि पुश करा","review.commit.nextSteps.prRequiresGh":"GitHub CLI आवश्यक आहे: {command}","review.commit.rows.changes":"बदल","review.commit.rows.commitCount":"{count, plural, one {# कमिट} other {# कमिट्स}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# कमिट} other {# कमिट्स}} आणि {stats}","review.commit.rows.fileCount":"{count, plural, one {# फाइल} other {# फाइल्स}}","review.commit.state.error.body":"कमिट करताना काहीतरी चूक झाली. तुमची git स्थिती तपासा आणि पुन्हा प्रयत्न करा.","review.commit.state.error.title":"कमिट अपयशी झाले","review.commit.state.success.title":"बदल कमिट केले","review.commit.untracked.loadingStats":"अनट्रॅक केलेली डिफ आकडेवारी लोड होत आहे…","reviewFindingAttachments.count":"{count, plural, one {# निष्कर्ष} other {# निष्कर्ष}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"एजंटचे वर्तन सानुकूलित करण्यासाठी तुमचे कॉन्फिगरेशन एडिट करा","settings.agent.configuration.configToml.docs":"दस्तऐवज","settings.agent.configuration.configToml.restartNote":"बदल लागू करण्यासाठी एडिट केल्यानंतर कोडेक्स पुन्हा सुरू करा","settings.agent.configuration.subtitle":"कोडेक्स वापरले जाते तेथे या सेटिंग्ज लागू होतात","settings.automations.banner.danger":"ऑटोमेशन तुमच्या डीफॉल्ट सँडबॉक्स सेटिंग्जवर चालतात, जे सध्या संपूर्ण प्रवेशवर सेट आहेत. संपूर्ण प्रवेशासह पार्श्वभूमी ऑटोमेशन चालवण्यामध्ये जास्त धोका असतो, कारण कोडेक्स फाइल्समध्ये बदल करू शकते, कमांड्स चालवू शकते आणि न विचारता नेटवर्कमध्ये प्रवेश करू शकते. सँडबॉक्स सेटिंग्जना कार्यक्षेत्रात राइट वर अपडेट करण्याचा आणि एजंट कोणत्या कमांड्सना पूर्ण प्रवेशासह चालवू शकेल हे निवडकपणे ठरवण्यासाठी <rulesDocsLink>नियम</rulesDocsLink> वापरण्याचा विचार करा.","settings.automations.banner.defaultHowTo.default":"ऑटोमेशन तुमच्या डीफॉल्ट सँडबॉक्स सेटिंग्जवर चालतात. टूल कॉल्सना कार्यक्षेत्राच्या बाहेरील फाइल्समध्ये बदल करणे, नेटवर्कमध्ये प्रवेश करणे किंवा तुमच्या कॉम्प्यूटरवरील ॲप्ससह काम करणे आवश्यक असेल, तर ते कॉल अयशस्वी होतील. तुम्ही <rulesDocsLink>नियम</rulesDocsLink> वापरून सँडबॉक्सच्या बाहेर चालवण्यासाठी कमांड्सना निवडकपणे परवानगी देऊ शकता.","settings.automations.banner.defaultHowTo.readOnly":"ऑटोमेशन तुमच्या डीफॉल्ट सँडबॉक्स सेटिंग्जवर चालतात, जे फक्त-वाचन वर सेट आहेत. टूल कॉल्सना फाइल्समध्ये बदल करणे, नेटवर्कमध्ये प्रवेश करणे किंवा तुमच्या कॉम्प्यूटरवरील ॲप्ससह काम करणे आवश्यक असेल, तर ते कॉल अयशस्वी होतील. सँडबॉक्स सेटिंग्जना कार्यक्षेत्र राइटवर अद्यतनित करण्याचा विचार करा.","settings.automations.cancel":"रद्द करा","settings.automations.create":"तयार करा","settings.automations.cwdEmpty":"कोणतेही प्रोजेक्ट फोल्डर उपलब्ध नाहीत","settings.automations.cwdLabel":"प्रोजेक्ट्स","settings.automations.cwdPlaceholder":"फोल्डर निवडा","settings.automations.cwdSubtitle":"तुम्हाला एखादे ऑटोमेशन विशिष्ट शाखेवर चालवायचे असल्यास, तुम्ही ते तुमच्या प्रॉम्प्टमध्ये निर्दिष्ट करू शकता.","settings.automations.delete":"हटवा","settings.automations.dialog.editTitle":"ऑटोमेशन एडिट करा","settings.automations.dialog.newTitle":"नवीन ऑटोमेशन","settings.automations.dialog.subtitle":"पुनरावृत्ती होणारी कामे पार्श्वभूमीमध्ये ऑटोमेट करा. कोडेक्स निष्कर्षांना इनबॉक्समध्ये जोडते किंवा अहवाल देण्यासाठी काही नसल्यास काम आपोआप संग्रहित करते. <learnMoreLink>अधिक जाणून घ्या</learnMoreLink>","settings.automations.dialog.title":"ऑटोमेशन तयार करा","settings.automations.executionCopy.git":"ऑटोमेशन समर्पित वर्कट्रीजवर पार्श्वभूमीमध्ये चालतात.","settings.automations.executionCopy.nonGit":"गैर-आवृत्ती-नियंत्रित प्रोजेक्ट्समधील ऑटोमेशन थेट प्रोजेक्ट डायरेक्टरीमध्ये चालतात. पार्श्वभूमीतील वर्कट्रीजवर चालवणे सक्षम करण्यासाठी Git वापरण्याचा विचार करा.","settings.automations.executionEnvironment.local":"स्थानिक","settings.automations.executionEnvironment.worktree":"वर्कट्री","settings.automations.loading":"लोड करत आहे…","settings.automations.nameLabel":"नाव","settings.automations.namePlaceholder":"Sentry च्या समस्या तपासा","settings.automations.pause":"थांबवा","settings.automations.promptLabel":"प्रॉम्प्ट","settings.automations.promptPlaceholder":"$Sentry मध्ये क्रॅश शोधा","settings.automations.resume":"पुन्हा सुरू करा","settings.automations.rruleSummaryFallback":"सानुकूल शेड्यूल","settings.automations.runNow":"चाचणी","settings.automations.save":"जतन करा","settings.automations.scheduleBadge.dayCount":"{count}दि","settings.automations.scheduleBadge.interval":"{count}ता","settings.automations.scheduleBadge.weekdays":"आठवड्याच्या दिवशी","settings.automations.scheduleBadge.weekends":"वीकेंडमध्ये","settings.automations.scheduleHeader":"शेड्यूल","settings.automations.scheduleHours":"तास","settings.automations.scheduleLabel":"प्रत्येक एवढ्या वेळाने चालवा","settings.automations.scheduleMode.daily":"दररोज","settings.automations.scheduleMode.interval":"मधला काळ","settings.automations.scheduleModeLabel":"शेड्यूलचा प्रकार","settings.automations.scheduleSummary.daily":"रोज {time} वाजता","settings.automations.scheduleSummary.interval":"दर {count}तासाने","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {=0 # दिवस} other {इतर # दिवस}}","settings.automations.scheduleSummary.intervalDays":"{days} नी {interval}","settings.automations.scheduleSummary.intervalHourly":"दर तास","settings.automations.scheduleSummary.singleDay":"{day} रोजी {time} वाजता","settings.automations.scheduleSummary.weekdays":"आठवड्याच्या दिवशी {time} वाजता","settings.automations.scheduleSummary.weekdaysLabel":"आठवड्याच्या दिवशी","settings.automations.scheduleSummary.weekends":"आठवड्याच्या शेवटी {time} वाजता","settings.automations.scheduleSummary.weekendsLabel":"आठवड्याच्या शेवटी","settings.automations.scheduleSummary.weekly":"{days} रोजी {time} वाजता","settings.automations.scheduleWeekdays":"चालू","settings.automations.weekdayState.excluded":"वगळलेले","settings.automations.weekdayState.included":"समाविष्ट केलेले","settings.conversationDetail.steps":"पायऱ्या","settings.conversationDetail.steps.description":"कमांड आणि आउटपुट लपवा","settings.conversationDetail.stepsWithCommands":"कोड कमांडसह पायऱ्या","settings.conversationDetail.stepsWithCommands.description":"कमांड दाखवा, आउटपुट कोलॅप्स करा","settings.conversationDetail.stepsWithOutput":"कोड आउटपुटसह पायऱ्या","settings.conversationDetail.stepsWithOutput.description":"कमांड दाखवा आणि आउटपुट मोठा करा","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"संग्रहित चॅट्स नाहीत.","settings.dataControls.archivedChats.error":"संग्रहित चॅट लोड करता आले नाहीत.","settings.dataControls.archivedChats.loading":"संग्रहित चॅट्स लोड करत आहे...","settings.dataControls.archivedChats.unarchive":"आर्काइव्हमधून काढा","settings.dataControls.archivedChats.unarchiveError":"चॅट असंग्रहित करणे अयशस्वी झाले","settings.dataControls.archivedChats.unarchiveSuccess":"असंग्रहित थ्रेड. <viewNowLink>आता पहा</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"असंग्रहित थ्रेड.","settings.dataControls.archivedChats.untitled":"विनाशीर्षक चॅट","settings.dataControls.archivedChats.viewNow":"आता पहा","settings.editRow.headerPlaceholder":"की","settings.editRow.removeEntry":"एंट्री काढून टाका","settings.editRow.valuePlaceholder":"मूल्य","settings.general.appearance":"देखावा","settings.general.appearance.codeFont":"कोडचा फाँट","settings.general.appearance.codeFont.description":"चॅट्स आणि डिफ्समध्ये कोडसाठी वापरलेला फाँट आणि आकार बदला","settings.general.appearance.codeFontFamily":"कोड फाँट गट","settings.general.appearance.codeFontSize":"कोडच्या फाँटचा आकार","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"विंडोजना सिस्टमच्या पारदर्शकतेऐवजी ठोस पार्श्वभूमी वापरायला लावा","settings.general.appearance.opaqueWindows.label":"अपारदर्शक विंडो पार्श्वभूमी वापरा","settings.general.appearance.sansFontFamily":"Sans फाँट गट","settings.general.appearance.sansFontFamily.description":"कोडेक्स UI साठी वापरलेल्या फाँटमध्ये बदल करा","settings.general.appearance.sansFontSize":"सान्स फाँट आकार","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark पहिल्यांदा चालवताना संपूर्ण विंडोमध्ये उत्सवाचे प्रभाव दाखवा","settings.general.appearance.sparkCelebrationEffects.label":"स्पार्क उत्सवाचे प्रभाव","settings.general.appearance.theme":"थीम","settings.general.appearance.theme.dark":"गडद","settings.general.appearance.theme.description":"हलका, गडद वापरा किंवा तुमच्या सिस्टमशी जुळवून घ्या","settings.general.appearance.theme.light":"हलके","settings.general.appearance.theme.system":"सिस्टम","settings.general.appearance.usePointerCursors.description":"इंटरॅक्टिव्ह घटकांवर होवर केल्यावर कर्सरला पॉइंटरमध्ये बदला","settings.general.appearance.usePointerCursors.label":"पॉइंटर कर्सर वापरा","settings.general.enterBehavior.description":"सक्षम केल्यावर, बहुरेखीय प्रॉम्प्ट पाठवण्यासाठी {modifierSymbol} + एंटर दाबावे लागेल.","settings.general.enterBehavior.label":"मोठे प्रॉम्प्ट्स पाठवण्यासाठी {modifierSymbol} + एंटर ची अट ठेवा","settings.general.experimentalFeatures":"प्रायोगिक वैशिष्ट्ये (बीटा)","settings.general.experimentalFeatures.empty":"कोणतीही बीटा प्रायोगिक वैशिष्ट्ये उपलब्ध नाहीत.","settings.general.experimentalFeatures.loading":"प्रायोगिक वैशिष्ट्ये लोड करत आहे…","settings.general.experimentalFeatures.restartNote":"प्रायोगिक वैशिष्ट्य बदल लागू करण्यासाठी Codex रीस्टार्ट करा","settings.general.experimentalFeatures.toggle":"{featureName} टॉगल करा","settings.general.followUpQueueMode.description":"कोडेक्स चालू असताना फॉलो अप्स रांगेत लावा किंवा सध्याचे रन स्टीअर करा. एका मेसेजसाठी याच्या उलट करण्यासाठी {invertFollowUpShortcutLabel} दाबा.","settings.general.followUpQueueMode.interrupt":"स्टीअर करा","settings.general.followUpQueueMode.label":"फॉलो अप कसा करावा","settings.general.followUpQueueMode.queue":"रांगेत ठेवा","settings.general.notifications":"नोटिफिकेशन्स","settings.general.power.preventSleepWhileRunning.description":"कोडेक्स एखादे थ्रेड चालवत असेल, तेव्हा तुमचा कॉम्प्युटर चालू ठेवा.","settings.general.power.preventSleepWhileRunning.label":"चालू असताना स्लीप मोडमध्ये जाणे टाळा","settings.git.branchPrefix.ariaLabel":"शाखा प्रीफिक्स","settings.git.branchPrefix.description":"कोडेक्समध्ये नवीन शाखा तयार करताना वापरला जाणारा प्रीफिक्स","settings.git.branchPrefix.label":"शाखा प्रीफिक्स","settings.git.branchPrefix.placeholder":"कोडेक्स/","settings.git.branchPrefix.save.error":"शाखा प्रीफिक्स जतन करा करता आला नाही","settings.git.branchPrefix.save.success":"जतन केलेला शाखा प्रीफिक्स","settings.git.commitInstructions.ariaLabel":"कमिट सूचना","settings.git.commitInstructions.description":"कमिट मेसेज जनरेशन प्रॉम्प्टमध्ये जोडले","settings.git.commitInstructions.label":"कमिट सूचना","settings.git.commitInstructions.placeholder":"कमिट मेसेज मार्गदर्शन जोडा...","settings.git.commitInstructions.save":"जतन करा","settings.git.commitInstructions.save.error":"कमिट सूचना जतन करण्यात अयशस्वी झाले","settings.git.commitInstructions.save.success":"कमिट सूचना जतन केल्या","settings.git.forcePush.ariaLabel":"नेहमी सक्तीने पुश करा","settings.git.forcePush.description":"कोडेक्सवरून पुश करताना --force-with-lease वापरा","settings.git.forcePush.label":"नेहमी सक्तीने पुश करा","settings.git.forcePush.save.disabled":"नेहमी सक्तीने पुश करणे अक्षम केले","settings.git.forcePush.save.enabled":"नेहमी सक्तीने पुश करणे सक्षम केले","settings.git.forcePush.save.error":"सक्तीने पुश करा सेटिंग जतन करता आले नाही","settings.git.prInstructions.ariaLabel":"पुल विनंती सूचना","settings.git.prInstructions.description":"कोडेक्सने तयार केलेल्या पुल विनंत्या बॉडीजमध्ये जोडल्या","settings.git.prInstructions.label":"पुल विनंती सूचना","settings.git.prInstructions.placeholder":"पुल विनंती मार्गदर्शन जोडा...","settings.git.prInstructions.save":"जतन करा","settings.git.prInstructions.save.error":"पुल विनंती सूचना जतन करण्यात अयशस्वी","settings.git.prInstructions.save.success":"पुल विनंती सूचना जतन केल्या","settings.ide.defaultOpenTarget.description":"जिथे फाइल्स आणि फोल्डर्स डीफॉल्टनुसार उघडतात","settings.ide.defaultOpenTarget.label":"उघडण्याचे डीफॉल्ट डेस्टिनेशन्स","settings.ide.defaultOpenTarget.placeholder":"लक्ष्य सापडले नाही","settings.ide.language.auto":"स्वयं-शोध","settings.ide.language.autoOption":"स्वयं-शोध","settings.ide.language.description":"अ‍ॅपच्या UI ची भाषा","settings.ide.language.label":"भाषा","settings.ide.language.search":"भाषा शोधा","settings.layout.actionButton":"विस्तार पुन्हा सुरू करा","settings.layout.actionTitle":"क्रियेसह सेटिंग्ज","settings.layout.fullWidthTitle":"सेटिंग्ज (संपूर्ण रुंदी)","settings.layout.title":"सेटिंग्ज","settings.localEnvironments.actions.add":"क्रिया जोडा","settings.localEnvironments.actions.add.description":"टूलबारमधून चालवण्यासाठी एक नवीन कमांड तयार करा.","settings.localEnvironments.actions.add.save":"जतन करा","settings.localEnvironments.actions.empty":"स्थानिक टूलबारवरून कमांड चालवण्यासाठी एक क्रिया जोडा.","settings.localEnvironments.actions.icon.debug":"डीबग करा","settings.localEnvironments.actions.icon.run":"चालवा","settings.localEnvironments.actions.icon.test":"चाचणी","settings.localEnvironments.actions.icon.tool":"साधन","settings.localEnvironments.actions.item.button.delete":"हटवा","settings.localEnvironments.actions.item.command":"क्रियेची स्क्रिप्ट","settings.localEnvironments.actions.item.name":"नाव","settings.localEnvironments.actions.item.platforms":"प्लॅटफॉर्म","settings.localEnvironments.actions.item.platforms.help":"केवळ विशिष्ट OS म्हणून चालवा.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"प्लॅटफॉर्म निवड","settings.localEnvironments.actions.item.platforms.specific":"प्लॅटफॉर्म विशिष्ट","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"हटवा","settings.localEnvironments.actions.title":"क्रिया","settings.localEnvironments.breadcrumb.back":"मागे","settings.localEnvironments.breadcrumb.edit":"एडिट करा","settings.localEnvironments.breadcrumb.root":"पर्यावरणे","settings.localEnvironments.environment.actions.description":"या क्रिया कोणत्याही कमांड चालवू शकतात आणि हेडरमध्ये दाखवल्या जातील.","settings.localEnvironments.environment.actionsLabel":"क्रिया","settings.localEnvironments.environment.create":"स्थानिक पर्यावरण तयार करा","settings.localEnvironments.environment.defaultName":"स्थानिक","settings.localEnvironments.environment.edit":"स्थानिक पर्यावरण संपादित करा","settings.localEnvironments.environment.empty":"या प्रोजेक्टसाठी अद्याप कोणतेही स्थानिक पर्यावरण कॉन्फिगर केलेले नाही.","settings.localEnvironments.environment.name":"नाव","settings.localEnvironments.environment.setup":"सेटअप स्क्रिप्ट","settings.localEnvironments.environment.setup.description":"ही स्क्रिप्ट वर्कट्री तयार केल्यानंतर चालेल.","settings.localEnvironments.environment.setup.hint":"प्रोजेक्टच्या रूटमध्ये चालते.","settings.localEnvironments.environment.setup.platformOverrides":"प्लॅटफॉर्म ओव्हरराइड्स","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} सेटअप स्क्रिप्ट जोडा","settings.localEnvironments.environment.setup.platformOverrides.description":"विशिष्ट OS साठी डीफॉल्ट स्क्रिप्ट ओव्हरराइड करते.","settings.localEnvironments.environment.setup.platformOverrides.remove":"काढून टाका","settings.localEnvironments.environment.setup.script":"स्क्रिप्ट","settings.localEnvironments.environment.title":"पर्यावरण तपशील","settings.localEnvironments.file.missing":"ही फाइल पहिल्यांदा तयार करण्यास जतन करा.","settings.localEnvironments.file.parseError":"अस्तित्वात असलेली फाइल पार्स करणे शक्य नाही. जतन केल्याने ती ओव्हरराइट होईल. ({error})","settings.localEnvironments.file.path":"फाइल: {path}","settings.localEnvironments.file.readError":"स्थानिक पर्यावरण डेटा लोड करणे शक्य नाही. ({error})","settings.localEnvironments.file.title":"स्थानिक पर्यावरण फाइल","settings.localEnvironments.loading.body":"तुमचे प्रोजेक्ट कॉन्फिगरेशन मिळवत आहे.","settings.localEnvironments.loading.title":"स्थानिक पर्यावरण लोड करत आहे","settings.localEnvironments.preview.devOnly":"(केवळ DEV)","settings.localEnvironments.preview.save":"जतन करा","settings.localEnvironments.preview.saveError":"फाइल जतन करणे अयशस्वी झाले. ({error})","settings.localEnvironments.preview.title":"पूर्वावलोकन","settings.localEnvironments.save.disabled.name":"जतन करण्यासाठी पर्यावरणाचे नाव जोडा.","settings.localEnvironments.save.disabled.noChanges":"जतन करण्यासाठी कोणतेही बदल नाहीत.","settings.localEnvironments.save.disabled.saving":"जतन करत आहे…","settings.localEnvironments.save.success":"जतन केलेले स्थानिक पर्यावरण","settings.localEnvironments.unavailable.body":"आम्ही या प्रोजेक्टसाठी स्थानिक पर्यावरण सेटिंग्ज लोड करू शकलो नाही.","settings.localEnvironments.unavailable.title":"स्थानिक पर्यावरण उपलब्ध नाहीत","settings.localEnvironments.workspace.add":"प्रोजेक्ट जोडा","settings.localEnvironments.workspace.title":"प्रोजेक्ट","settings.localEnvironments.workspaceSelect.addLabel":"पर्यावरण जोडा","settings.localEnvironments.workspaceSelect.description":"स्थानिक पर्यावरणे कोडेक्सला प्रोजेक्टसाठी वर्कट्रीज कसे सेट अप करायचे हे सांगतात. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"अद्याप कोणतेही प्रोजेक्ट नाहीत. स्थानिक पर्यावरण कॉन्फिगर करण्यासाठी एक प्रोजेक्ट जोडा.","settings.localEnvironments.workspaceSelect.errorLabel":"पर्यावरणासाठी लक्ष देणे गरजेचे आहे","settings.localEnvironments.workspaceSelect.learnMore":"अधिक जाणून घ्या","settings.localEnvironments.workspaceSelect.listLabel":"उपलब्ध प्रोजेक्ट","settings.localEnvironments.workspaceSelect.loading":"प्रोजेक्ट लोड करत आहे.","settings.localEnvironments.workspaceSelect.loadingLabel":"पर्यावरण लोड करत आहे","settings.localEnvironments.workspaceSelect.title":"एक प्रोजेक्ट निवडा","settings.localEnvironments.workspaceSelect.viewAction":"पहा","settings.mcp.addServer":"सर्व्हर जोडा","settings.mcp.app.configure":"कॉन्फिगर करा","settings.mcp.app.connect":"कनेक्ट करा","settings.mcp.apps.refresh":"रिफ्रेश करा","settings.mcp.detail.addArgument":"आर्ग्युमेंट जोडा","settings.mcp.detail.addEnvVar":"पर्यावरणाचे व्हेरिएबल जोडा","settings.mcp.detail.addEnvVarPassthrough":"व्हेरिएबल जोडा","settings.mcp.detail.args":"आर्ग्युमेंट्स","settings.mcp.detail.back":"मागे","settings.mcp.detail.command":"लाँच करण्याची कमांड","settings.mcp.detail.cwd":"कार्यरत डायरेक्टरी","settings.mcp.detail.docs":"MCP दस्तऐवज उघडा","settings.mcp.detail.docs.link":"दस्तऐवज","settings.mcp.detail.envVarPassthrough":"पर्यावरण व्हेरिएबल पासथ्रू","settings.mcp.detail.envVars":"पर्यावरणाचे व्हेरिएबल्स","settings.mcp.detail.http.addEnvHeader":"व्हेरिएबल जोडा","settings.mcp.detail.http.addHeader":"हेडर जोडा","settings.mcp.detail.http.bearerToken":"बेअरर टोकन पर्यावरण व्हेरिएबल","settings.mcp.detail.http.envHeaders":"पर्यावरण व्हेरिएबल्समधून हेडर्स","settings.mcp.detail.http.headers":"हेडर्स","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"नाव","settings.mcp.detail.save":"जतन करा","settings.mcp.detail.switchTransportNotice":"तुम्हाला MCP सर्व्हरचा प्रकार बदलायचा असेल, तर कृपया आधी अनइंस्टॉल करा.","settings.mcp.detail.titleExisting":"{name} MCP अद्ययावत करा","settings.mcp.detail.titleNew":"सानुकूलित MCP ला कनेक्ट करा","settings.mcp.detail.transport.http":"स्ट्रीम करण्यायोग्य HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"अनइंस्टॉल करा","settings.mcp.empty":"कोणतेही सानुकूलित MCP सर्व्हर कनेक्ट केलेले नाहीत","settings.mcp.myServers":"सानुकूलित सर्व्हर्स","settings.mcp.partnerServer.description.figma":"संपूर्ण Figma संदर्भ आणून अधिक चांगला कोड तयार करा","settings.mcp.partnerServer.description.github":"वर्कफ्लो ऑटोमेट करण्यासाठी आणि डेटा काढण्यासाठी GitHub API सह इंटीग्रेट करा","settings.mcp.partnerServer.description.linear":"Linear च्या समस्या ट्रॅकिंग आणि प्रोजेक्ट व्यवस्थापनासह इंटीग्रेट करा","settings.mcp.partnerServer.description.notion":"दस्तऐवज वाचा, पेजेस अद्ययावत करा, कामे व्यवस्थापित करा","settings.mcp.partnerServer.description.playwright":"डिझाइन अंमलात आणण्यासाठी आणि UI ची चाचणी करण्यासाठी ब्राउझर ऑटोमेशन इंटीग्रेट करा.","settings.mcp.partnerServer.install":"इंस्टॉल करा","settings.mcp.partnerServer.installAndAuthenticate":"इन्स्टॉल करा आणि प्रमाणीकृत करा","settings.mcp.partnerServer.logoAlt":"{label} लोगो","settings.mcp.partnerServer.manage":"व्यवस्थापित करा","settings.mcp.partnerServer.vendor":"{vendor} द्वारे","settings.mcp.recommendedServers":"शिफारस केलेले सर्व्हर्स","settings.mcp.restartApp":"पुन्हा सुरू करा","settings.mcp.restartExtension":"विस्तार पुन्हा सुरू करा","settings.mcp.server.enable":"सक्षम करा","settings.mcp.server.login":"प्रमाणीकृत करा","settings.mcp.server.settings":"सेटिंग्ज","settings.multiselect.createOption":"“{value}” तयार करा","settings.multiselect.removeOption":"काढून टाका","settings.nav.account":"खाते","settings.nav.agent":"कॉन्फिगरेशन","settings.nav.ariaLabel":"सेटिंग्ज","settings.nav.back":"ॲपकडे परत","settings.nav.data-controls":"संग्रहित थ्रेड","settings.nav.environments":"क्लाउड पर्यावरणे","settings.nav.externalTooltip":"[alpha] ब्राउझरमध्ये उघडते","settings.nav.general-settings":"सामान्य","settings.nav.git-settings":"Git","settings.nav.local-environments":"पर्यावरणे","settings.nav.mcp-settings":"MCP सर्व्हर","settings.nav.notImplemented":"[alpha] Alpha मध्ये उपलब्ध नाही","settings.nav.personalization":"वैयक्तिकरण","settings.nav.skills-settings":"कौशल्ये","settings.nav.usage-analytics":"वापर आणि विश्लेषण","settings.nav.worktrees":"वर्कट्रीज","settings.openSourceLicenses.back":"मागे","settings.openSourceLicenses.loading":"लोड करत आहे…","settings.openSourceLicenses.missing":"कोणत्याही तृतीय पक्ष सूचना आढळल्या नाहीत.","settings.openSourceLicenses.notSupported":"या होस्टमध्ये उपलब्ध नाही.","settings.openSourceLicenses.rowDescription":"बंडल केलेल्या निर्भरतांसाठी तृतीय पक्ष सूचना","settings.openSourceLicenses.rowLabel":"ओपन सोर्स परवाने","settings.openSourceLicenses.subtitle":"या ॲपमधील निर्भरतांसाठी तृतीय पक्ष सूचना","settings.openSourceLicenses.title":"ओपन सोर्स परवाने","settings.openSourceLicenses.view":"पहा","settings.personalization.agents.description":"तुमच्यासाठी कोडेक्स सुसंगत करण्यासाठी सूचना संपादित करा. {learnMore}","settings.personalization.agents.learnMore":"अधिक जाणून घ्या","settings.personalization.agents.loadError":"agents.md लोड करणे शक्य नाही","settings.personalization.agents.loading":"agents.md लोड करत आहे…","settings.personalization.agents.placeholder":"तुमच्या सानुकूल सूचना जोडा...","settings.personalization.agents.retry":"पुन्हा प्रयत्न करा","settings.personalization.agents.save":"जतन करा","settings.personalization.agents.save.error":"agents.md जतन करणे शक्य नाही","settings.personalization.agents.save.success":"जतन केलेले agents.md","settings.personalization.agents.title":"सानुकूल सूचना","settings.personalization.personality.description":"कोडेक्स प्रतिसादांसाठी डीफॉल्ट टोन निवडा","settings.personalization.personality.label":"व्यक्तिमत्व","settings.sample.contentBody":"तुमच्या सेटिंग्ज पॅनल्स एकसारख्या स्पेसिंगने तयार करण्यासाठी या लेआउटचा वापर करा.","settings.sample.contentTitle":"नमुना काँटेंट ब्लॉक","settings.section.account":"खाते","settings.section.agent":"कॉन्फिगरेशन","settings.section.data-controls":"संग्रहित थ्रेड","settings.section.environments":"क्लाउड पर्यावरणे","settings.section.external":"Alpha दरम्यान तुमच्या ब्राउझरमध्ये उघडते","settings.section.general-settings":"सामान्य","settings.section.git-settings":"Git","settings.section.local-environments":"पर्यावरणे","settings.section.mcp-settings":"MCP सर्व्हर","settings.section.mcp-settings.docs":"दस्तऐवज","settings.section.mcp-settings.subtitle":"बाह्य टूल्स आणि डेटा स्रोत कनेक्ट करा.","settings.section.personalization":"वैयक्तिकरण","settings.section.skills-settings":"कौशल्ये","settings.section.unavailable":"अद्याप Alpha मध्ये उपलब्ध नाही","settings.section.usage-analytics":"वापर आणि विश्लेषण","settings.section.worktrees":"वर्कट्रीज","settings.threadDetail.description":"थ्रेडमध्ये किती कमांड आउटपुट दाखवायचे ते निवडा","settings.threadDetail.label":"थ्रेडचा तपशील","settings.worktrees.conversation.untitled":"विनाशीर्षक संभाषण","settings.worktrees.delete.error":"वर्कट्री हटवता आला नाही","settings.worktrees.empty.body":"Codex द्वारे तयार केलेल्या वर्कट्री येथे दिसतील.","settings.worktrees.empty.title":"अद्याप कोणतेही वर्कट्री नाहीत","settings.worktrees.error.body":"वर्कट्री लोड करताना काहीतरी चूक झाली.","settings.worktrees.error.retry":"पुन्हा प्रयत्न करा","settings.worktrees.error.title":"वर्कट्री लोड करता आले नाही","settings.worktrees.loading.body":"वर्कट्रीचे तपशील मिळवत आहे.","settings.worktrees.loading.title":"वर्कट्रीज लोड करत आहे","settings.worktrees.repository.loading":"रिपॉझिटरी मेटाडेटा लोड करत आहे…","settings.worktrees.repository.unknown":"अज्ञात रिपॉझिटरी","settings.worktrees.row.conversations":"संभाषणे","settings.worktrees.row.conversations.empty":"या वर्कट्रीशी कोणतीही संभाषणे जोडलेली नाहीत.","settings.worktrees.row.conversations.loading":"संभाषणे लोड करत आहे…","settings.worktrees.row.delete":"हटवा","settings.worktrees.row.title":"वर्कट्री","sidebarElectron.addWorkspaceRoot":"नवीन प्रोजेक्ट जोडा","sidebarElectron.archiveThread":"थ्रेड संग्रहित करा","sidebarElectron.archiveThreadError":"थ्रेड संग्रहित करता आला नाही","sidebarElectron.collapseFolder":"फोल्डर लहान करा","sidebarElectron.createStableWorktree.dialog.cancel":"रद्द करा","sidebarElectron.createStableWorktree.dialog.create":"तयार करा","sidebarElectron.debugNavLink":"डीबग करा","sidebarElectron.editWorkspaceRootOptionName":"नाव एडिट करा","sidebarElectron.expandFolder":"फोल्डर विस्तृत करा","sidebarElectron.groupByMenu.recency":"कालक्रमानुसार यादी","sidebarElectron.groupByMenu.title":"व्यवस्थित करा","sidebarElectron.groupByMenu.workspace":"प्रोजेक्टद्वारे","sidebarElectron.inboxRouteNavLink":"ऑटोमेशन्स","sidebarElectron.markThreadUnread":"न वाचलेले म्हणून चिन्हांकित करा","sidebarElectron.missingWorkspaceRoot":"हे प्रोजेक्ट फोल्डर हटवले किंवा हलवले गेले आहे","sidebarElectron.newThread":"नवीन थ्रेड","sidebarElectron.newThreadInGroup":"{folder} मध्ये नवीन थ्रेड सुरू करा","sidebarElectron.noRecentThreads":"अलीकडील थ्रेड्स नाहीत","sidebarElectron.noTasks":"थ्रेड नाहीत","sidebarElectron.noTasks.start":"एक नवीन प्रोजेक्ट जोडा","sidebarElectron.noTasksWithFilter":"फिल्टर्ससोबत कोणतीही थ्रेड जुळत नाहीत","sidebarElectron.pinnedThreads":"पिन केलेले थ्रेड्स","sidebarElectron.recentNavLink":"थ्रेड","sidebarElectron.recentThreads":"अलीकडील थ्रेड्स","sidebarElectron.removeWorkspaceRootOption":"काढून टाका","sidebarElectron.renameThread":"थ्रेडचे नाव बदला","sidebarElectron.renameThreadDialogAriaLabel":"थ्रेड शीर्षक","sidebarElectron.renameThreadDialogCancel":"रद्द करा","sidebarElectron.renameThreadDialogPlaceholder":"एक शीर्षक जोडा...","sidebarElectron.renameThreadDialogSave":"जतन करा","sidebarElectron.renameThreadDialogSubtitle":"ते लहान आणि ओळखण्यायोग्य ठेवा.","sidebarElectron.renameThreadDialogTitle":"थ्रेडचे नाव बदला","sidebarElectron.renameThreadError":"थ्रेडचे नाव बदलता आले नाही","sidebarElectron.renameWorkspaceRootOptionLabel":"डिस्प्ले नाव","sidebarElectron.showLess":"कमी दाखवा","sidebarElectron.showMenu.all":"सर्व थ्रेड","sidebarElectron.showMenu.relevant":"संबंधित","sidebarElectron.showMenu.relevantHint":"फक्त सध्याच्या शाखेसाठी आणि वर्कट्रीजसाठी अलीकडील थ्रेड्स किंवा तुमचे लक्ष देणे गरजेचे असलेले इतर थ्रेड्स दाखवा","sidebarElectron.showMenu.title":"दाखवा","sidebarElectron.showMenu.tooltip":"थ्रेड्स फिल्टर करा, क्रमवारी लावा आणि व्यवस्थित करा","sidebarElectron.showMenu.trigger":"साइडबार थ्रेड फिल्टर करा","sidebarElectron.showMore":"आणखी दाखवा","sidebarElectron.skillsRouteNavLink":"कौशल्ये","sidebarElectron.sortMenu.created":"तयार केले","sidebarElectron.sortMenu.title":"अशी क्रमवारी लावा","sidebarElectron.sortMenu.updated":"अद्यतनित केले","sidebarElectron.taskNavigation":"ऑटोमेशन फोल्डर्स","sidebarElectron.tasksInFolder":"{folder} मधील ऑटोमेशन्स","sidebarElectron.workspaceOptions":"{folder} साठी प्रोजेक्ट क्रिया","sidebarElectron.worktreeGroupTooltip":"हा git वर्कट्री आहे","skills.appsPage.createSkill":"नवीन कौशल्य","skills.appsPage.empty.skills":"कौशल्ये सापडली नाहीत","skills.appsPage.search.skills":"कौशल्ये शोधा","skills.appsPage.search.skills.label":"कौशल्ये शोधा","skills.appsPage.section.installedApps":"इंस्टॉल केले","skills.appsPage.section.skills":"कौशल्ये","skills.appsPage.subheading":"कोडेक्सला सुपरपॉवर द्या. <link>अधिक जाणून घ्या</link>","skills.appsPage.tab.recommended":"शिफारस केलेले","skills.appsPage.tab.skills":"कौशल्ये","skills.card.contentsError":"कौशल्य सामग्री लोड करणे शक्य नाही.","skills.card.disable":"अक्षम करा","skills.card.disableSuccess":"{skillName} कौशल्य अक्षम केले","skills.card.disabledBadge":"अक्षम केले","skills.card.enable":"सक्षम करा","skills.card.enableSuccess":"{skillName} कौशल्य सक्षम केले","skills.card.loadingContents":"कौशल्य सामग्री लोड करत आहे...","skills.card.more":"आणखी क्रिया","skills.card.open":"उघडा","skills.card.removeFailed":"कौशल्य अनइंस्टॉल करण्यात अयशस्वी","skills.card.removeSuccess":"{skillName} कौशल्य अनइंस्टॉल केले","skills.card.toggleEnabledError":"कौशल्य अद्यतनित करता आले नाही","skills.card.try":"वापरून पहा","skills.card.trySkill":"कौशल्य वापरून पहा","skills.card.uninstall":"अनइंस्टॉल करा","skills.hero.dotLabel":"स्लाइड {index} वर जा","skills.hero.next":"पुढील वैशिष्ट्यकृत कौशल्य","skills.hero.trySkill":"कौशल्य वापरून पहा","skills.page.createSkill":"नवीन कौशल्य","skills.page.empty":"कौशल्ये सापडली नाहीत","skills.page.filteredEmpty":"तुमच्या फिल्टरशी जुळणारी कौशल्ये नाहीत","skills.page.filteredEmptyDescription":"तुमचा शोध किंवा व्याप्ती फिल्टर्स समायोजित करण्याचा प्रयत्न करा","skills.page.heading":"कौशल्ये","skills.page.loading":"कौशल्ये लोड करत आहे…","skills.page.refreshSkills":"रिफ्रेश करा","skills.page.refreshSkillsToUseNew":"नवीन कौशल्य(कौशल्ये) वापरण्यासाठी रिफ्रेश करा","skills.page.search":"कौशल्ये शोधा","skills.page.search.label":"कौशल्ये शोधा","skills.page.subheading":"कोडेक्सला सुपरपॉवर द्या. <link>अधिक जाणून घ्या</link>","skills.preview.copyPrompt":"प्रॉम्प्ट कॉपी करा","skills.preview.examplePrompt":"उदाहरणासाठी प्रॉम्प्ट","skills.recommended.error":"सुचवलेली कौशल्ये लोड करणे शक्य नाही","skills.recommended.install":"इंस्टॉल करा","skills.recommended.installSkill":"कौशल्य इंस्टॉल करा","skills.recommended.installSuccess":"{skillName} कौशल्य इंस्टॉल केले","skills.recommended.installed":"इंस्टॉल केले","skills.scope.admin":"ॲडमिन","skills.scope.adminInstalled":"ॲडमिन स्थापित केले","skills.scope.builtIn":"सिस्टम","skills.scope.personal":"वैयक्तिक","skills.scope.repo":"रिपॉझिटरी","skills.scope.system":"सिस्टम","skills.scope.team":"टीम","skills.scope.user":"वापरकर्ता","skills.section.installed":"इंस्टॉल केले","skills.section.recommended":"शिफारस केलेले","story.slidingToggle.existing":"विद्यमान","story.slidingToggle.fromLocal":"स्थानिक वरून","story.slidingToggle.new":"नवीन","story.slidingToggle.toLocal":"स्थानिक वर","terminal.close":"टर्मिनल बंद करा","terminal.title":"टर्मिनल","thinkingShimmer.default":"विचार करत आहे","threadEnvIcon.cloudTooltip":"हे संभाषण कोडेक्स क्लाउडमध्ये सुरू आहे.","threadEnvIcon.localTooltip":"हे संभाषण स्थानिक पातळीवर सुरू आहे.","threadEnvIcon.worktreeTooltip":"हे संभाषण स्थानिक git वर्कट्रीमध्ये सुरू आहे.","threadHeader.archiveConfirmCancel":"रद्द करा","threadHeader.archiveConfirmConfirm":"संग्रहित करा","threadHeader.archiveConfirmSubtitle":"तुम्ही याला नंतर तुमच्या संग्रहित थ्रेड्समध्ये शोधू शकता.","threadHeader.archiveConfirmTitle":"थ्रेड संग्रहित करायचा?","threadHeader.copyAppLink":"डीपलिंक कॉपी करा","threadHeader.copySessionId":"सत्र आयडी कॉपी करा","threadHeader.copyWorkingDirectory":"कार्यरत डायरेक्टरी कॉपी करा","threadHeader.forkIntoLocal":"स्थानिकमध्ये फोर्क करा","threadHeader.forkIntoWorktree":"नवीन वर्कट्रीमध्ये फोर्क करा","threadHeader.forkPendingWorktreePrompt":"हे संभाषण नवीन वर्कट्रीमध्ये फोर्क करा.","threadHeader.forkPendingWorktreeTitle":"फोर्क केलेले संभाषण","threadHeader.forkThreadError":"थ्रेड फोर्क करता आला नाही","threadHeader.forkThreadRequiresGitRepo":"नवीन वर्कट्रीमध्ये फोर्क करण्यासाठी git रिपॉझिटरी आवश्यक आहे","threadHeader.moreActions":"थ्रेड-संबंधी क्रिया","threadPage.newThread":"नवीन थ्रेड","threadPage.runAction.changeEnvironment":"पर्यावरण बदला","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} क्रिया","threadPage.runAction.environmentSelector.label":"पर्यावरण निवडा","threadPage.runAction.label":"चालवा","threadPage.runAction.missing.label":"चालवण्याची क्रिया सेट अप करा","threadPage.runAction.setup.commandLabel":"चालवण्याची कमांड","threadPage.runAction.setup.description":"डिपेंडंसी कशा स्थापित करायच्या आणि तुमचे ॲप सुरू करायचे ते कोडेक्सला सांगा.","threadPage.runAction.setup.editMore":"पर्यावरणाच्या सेटिंग्ज","threadPage.runAction.setup.placeholder":"उदा: npm स्थापित करा npm चालवा","threadPage.runAction.setup.submit":"जतन करा आणि चालवा","threadPage.runAction.setup.title":"चालवा","threadPage.runAction.tooltip.withEnvironment":"{environmentName} क्रिया","threadPage.toggleDiffPanel":"डिफ पॅनल टॉगल करा","threadPage.toggleTerminal":"टर्मिनल टॉगल करा","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"फोल्डर उघडा","toolSummaryForCmd.exploredFiles":"<verb>ने </verb> फाइल्स लिस्ट केल्या","toolSummaryForCmd.exploredFilesInPath":"ने  मध्ये {path} मधील फाइल्स <verb>लिस्ट केल्या</verb>","toolSummaryForCmd.exploringFiles":"फाइल्स <verb>लिस्ट करत</verb> आहे","toolSummaryForCmd.exploringFilesInPath":"{path} मध्ये मधील फाइल्स <verb>लिस्ट करत</verb> आहे","toolSummaryForCmd.ranGenericCommand":"<status>रॅन कमांड</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>चालवले</status> {command}{timer}","toolSummaryForCmd.read":"{path} <verb>वाचले</verb>","toolSummaryForCmd.runningGenericCommand":"<status>चालू कमांड</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} यासाठी","toolSummaryForCmd.searchedFor":"ने {query} साठी <verb>शोधले</verb>","toolSummaryForCmd.searchedForFiles":"ने फाइल्ससाठी <verb>शोधले</verb>","toolSummaryForCmd.searchedForInPath":"<verb>{path} मध्ये {query} साठी शोधले</verb>","toolSummaryForCmd.searchingFor":"{query} साठी <verb>शोधत आहे</verb>","toolSummaryForCmd.searchingForFiles":"फाइल्ससाठी <verb>शोधत आहे</verb>","toolSummaryForCmd.searchingForInPath":"{query} साठी {path} मध्ये <verb>शोधत आहे</verb>","traceRecording.details.noteLabel":"हे घडले तेव्हा तुम्ही काय करत होता? (पर्यायी)","traceRecording.details.notePlaceholder":"एका मोठ्या थ्रेडवर नेव्हिगेट केले, नंतर टॅब वारंवार बदलले…","traceRecording.details.submit":"ट्रेस पाठवा","traceRecording.details.subtitle":"कार्यक्षमतेच्या समस्यांचे निदान करण्यात मदत करण्यासाठी आम्ही हा प्रोफाइल ट्रेस पाठवू शकतो.","traceRecording.details.title":"प्रोफाइल ट्रेस पाठवायचा?","traceRecording.progress.subtitle":"हे पूर्ण होईपर्यंत कोडेक्स उघडे ठेवा.","traceRecording.saving.title":"ट्रेस जतन करत आहे…","traceRecording.startDetails.cancel":"रद्द करा","traceRecording.startDetails.submit":"ठीक आहे, रेकॉर्डिंग सुरू करा","traceRecording.startDetails.subtitle":"तुम्ही ठीक आहे वर क्लिक केल्यानंतर, कार्यप्रदर्शनाची समस्या पुन्हा उत्पन्न करा, त्यानंतर थांबून ट्रेसचे पुनरावलोकन करण्यासाठी तरंगत्या लाल इंडिकेटरवर क्लिक करा.","traceRecording.startDetails.title":"ट्रेस रेकॉर्डिंग कसे काम करते","traceRecording.stopButton.ariaLabel":"ट्रेस रेकॉर्डिंग थांबवा","traceRecording.upload.successToast":"प्रोफाइल ट्रेस पाठवला.","traceRecording.uploading.title":"ट्रेस अपलोड करत आहे…","wham.diff.addComment":"कॉमेंट जोडा","wham.diff.binaryFile":"बायनरी फाइल दाखवली नाही","wham.diff.noContent":"काँटेंट नाही","wham.fileTag.deleted":"हटवले","wham.fileTag.new":"नवीन","wham.formattedRelativeDateTime.compactDaysAgo":"{value}दि","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ता","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}मि","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}म","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}आ","wham.formattedRelativeDateTime.compactYearsAgo":"{value}व","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"तुमचे काम करत आहे","wham.whamProposedTask.title":"सुचवलेले काम","wham.whamProposedTask.useSuggestion":"सूचना वापरा","workspaceRootDialog.addError":"प्रोजेक्ट जोडता आला नाही","workspaceRootDialog.cancel":"रद्द करा","workspaceRootDialog.confirmAdd":"प्रोजेक्ट जोडा","workspaceRootDialog.confirmPick":"प्रोजेक्ट वापरा","workspaceRootDialog.description":"प्रोजेक्ट म्हणून वापरण्यासाठी {host} वर एक पथ टाका.","workspaceRootDialog.pathLabel":"प्रोजेक्टचा पथ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"प्रोजेक्टचा पथ जोडा","workspaceRootDialog.title.pick":"प्रोजेक्टचा पथ निवडा","worktreeInitV2.cancel":"रद्द करा","worktreeInitV2.notification.failedTitle":"वर्कट्री सेटअप अपयशी झाले","worktreeInitV2.output.empty":"आउटपुटची वाट पाहत आहे…","worktreeInitV2.status.error":"वर्कट्री सेटअप अपयशी झाले.","worktreeInitV2.status.running":"वर्कट्री तयार करून सेटअप चालवत आहे.","worktreeInitV2.status.runningFork":"हे संभाषण फोर्क करण्यासाठी वर्कट्री तयार करत आहे.","worktreeInitV2.status.success":"वर्कट्री तयार आहे.","worktreeInitV2.title":"वर्कट्री तयार करत आहे","worktreeInitV2.workLocallyInstead":"त्याऐवजी स्थानिक पातळीवर काम करा","worktreeRestoreBanner.body":"डिस्क स्पेस वाचवण्यासाठी या थ्रेडचे वर्कट्री काढून टाकले आहे.","worktreeRestoreBanner.missing.body":"या थ्रेडची वर्किंग डायरेक्टरी आता अस्तित्वात नाही","worktreeRestoreBanner.missing.title":"सध्याची वर्किंग डायरेक्टरी उपलब्ध नाही","worktreeRestoreBanner.restore.error":"वर्कट्री रिस्टोर करता आले नाही: {message}","worktreeRestoreBanner.restore.success":"वर्कट्री रिस्टोर केले","worktreeRestoreBanner.restoreCta":"वर्कट्री रिस्टोर करा","worktreeRestoreBanner.title":"वर्कट्री साफ केले"};Object.assign(e,globalThis.codexI18nOverrides?.["mr-IN"]);export{e as default};
 //# sourceMappingURL=mr-IN-D6jMNqQQ.js.map
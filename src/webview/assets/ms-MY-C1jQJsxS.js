@@ -1,2 +1,2 @@
-const a={"CopyButton.copyTooltip":"Salin","app.sidebar.hide":"Sembunyikan bar sisi","app.sidebar.show":"Paparkan bar sisi","app.sidebar.tooltip":"Togol bar sisi","appHeader.installUpdate":"Kemas kini","appSunset.body":"Versi apl ini tidak lagi disokong. Sila muat turun versi terkini <here>di sini</here>.","appSunset.title":"Kemaskinian diperlukan","automation.updateDirective.create":"Cipta","automation.updateDirective.open":"Buka","automation.updateDirective.untitled":"Automasi tanpa tajuk","automation.updateDirective.update":"Kemas kini","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# percubaan}}","cloudTaskRow.archiveError":"Gagal untuk mengarkibkan tugas","code.diff.requestChange":"Minta perubahan","code.diffComment.cancel":"Batal","code.diffComment.comment":"Ulasan","code.diffComment.delete":"Padam","code.diffComment.save":"Simpan","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Tiada penemuan dilaporkan.","codex.alert.closeAriaLabel":"Tutup","codex.appUpsellBanner.cbpApi.message":"Bina lebih pantas dengan apl Codex. Muat turun sekarang atau {learnMoreLink}.","codex.appUpsellBanner.download":"Muat turun","codex.appUpsellBanner.freeGo.message":"Codex disertakan dalam pelan anda hingga 2 Mac. Cuba apl Codex untuk membina lebih pantas.","codex.appUpsellBanner.later":"Kemudian","codex.appUpsellBanner.learnMoreLowercase":"ketahui lebih lanjut","codex.appUpsellBanner.new":"Baharu","codex.appUpsellBanner.proPlusBusiness.message":"Cuba apl Codex dengan 2x had kadar hingga 2 April. Muat turun sekarang atau {learnMoreLink}.","codex.appUpsellBanner.title":"Apl Codex","codex.applyDropdown.header.changes":"Perubahan","codex.applyDropdown.header.fileCount":"{count, plural, other {# fail}}","codex.applyDropdown.header.rows":"baris","codex.applyDropdown.header.title":"Gunakan perubahan","codex.applyDropdown.header.workspace":"Projek","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} fail bercanggah:}}","codex.applyDropdown.results.empty":"Tiada fail telah disalin","codex.applyDropdown.results.skipped":"{count, plural, other {{count} fail dilangkau:}}","codex.applyOrRevertBanner.apply":"Gunakan","codex.applyOrRevertBanner.applyMessage":"Gunakan perubahan dan teruskan secara setempat?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Tugas ini telah dibuat dalam {environment}. Oleh itu, tugas mungkin tidak digunakan dengan sempurna.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Perubahan yang dibuat dalam {environment}. mungkin tidak dapat diterapkan dengan sempurna.","codex.applyOrRevertBanner.reapply":"Gunakan semula","codex.applyOrRevertBanner.revert":"Kembali sebelum","codex.applyOrRevertBanner.revertMessage":"Kembalikan semula perubahan yang digunakan?","codex.applyResultsDialog.applied":"Digunakan dengan sempurna ({count})","codex.applyResultsDialog.close":"Tutup","codex.applyResultsDialog.conflicted":"Bercanggah ({count})","codex.applyResultsDialog.noDetails":"Tiada butiran fail tersedia.","codex.applyResultsDialog.skipped":"Dilangkau ({count})","codex.applyResultsDialog.title":"Hasil penggunaan","codex.archiveInfo":"Lihat sembang yang diarkibkan dalam {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kawalan Data","codex.archiveInfo.electron":"Lihat sembang yang diarkibkan dalam {settingsLink}","codex.archiveInfo.extension":"Lihat sembang yang diarkibkan dalam folder .codex anda.","codex.archiveInfo.settingsLink":"Tetapan","codex.banner.content.description":"Jalankan tugas secara selari, jejaki kemajuan di mana-mana sahaja dan semak PR menggunakan AI.","codex.banner.content.headline":"Codex melakukan semua perkara.","codex.cloudTaskRow.archiveTask":"Arkibkan tugas","codex.cloudTaskRow.confirmArchiveTask":"Sahkan","codex.command.feedback":"Maklum balas","codex.command.findInThread":"Cari","codex.command.forceReloadSkills":"Paksa muat semula kemahiran","codex.command.logOut":"Log keluar","codex.command.manageTasks":"Urus tugas","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Kembali","codex.command.navigateForward":"Maju ke hadapan","codex.command.newThread":"Urutan baharu","codex.command.nextThread":"Urutan seterusnya","codex.command.openFolder":"Buka folder","codex.command.openSkills":"Lawati kemahiran","codex.command.openThreadOverlay":"Paparkan urutan","codex.command.personalitySettings":"Personaliti","codex.command.previousThread":"Urutan sebelumnya","codex.command.settings":"Tetapan","codex.command.toggleDiffPanel":"Togol panel perbezaan","codex.command.toggleSidebar":"Togol bar sisi","codex.command.toggleTerminal":"Togol terminal","codex.commandGroup.app":"Apl","codex.commandGroup.configure":"Konfigurasikan","codex.commandGroup.navigation":"Navigasi","codex.commandGroup.panels":"Panel","codex.commandGroup.skills":"Kemahiran","codex.commandGroup.thread":"Urutan","codex.commandGroup.workspace":"Projek","codex.commandMenu.noResults":"Tiada padanan","codex.commandMenu.searchPlaceholder":"Perintah carian","codex.commandMenu.suggestedGroup":"Dicadangkan","codex.commandMenu.switchWorkspace":"Tukar projek","codex.commandMenu.title":"Menu perintah","codex.common.retry":"Cuba semula","codex.composer.searchBranches":"Cari cawangan","codex.dialog.basic.body":"Ini ialah dialog modal ringkas menggunakan pembalut kami sekitar Dialog Radix.","codex.dialog.basic.cancel":"Batal","codex.dialog.basic.confirm":"Sahkan","codex.dialog.basic.open":"Buka Dialog","codex.dialog.basic.title":"Dialog Contoh","codex.dialog.long.close":"Tutup","codex.dialog.long.line":"Baris yang boleh ditatal {index} untuk menunjukkan kandungan yang panjang dalam dialog.","codex.dialog.long.open":"Buka Dialog Panjang","codex.dialog.long.title":"Dialog Kandungan Panjang","codex.dialog.unstyled.body":"Cerita ini menunjukkan cara pemanggil boleh mengawal penggayaan kandungan dialog sepenuhnya.","codex.dialog.unstyled.open":"Buka Dialog Tanpa Gaya","codex.dialog.unstyled.title":"Kandungan Tanpa Gaya","codex.diff.openInEditorPrompt.openButton":"Buka dalam editor","codex.diff.openInEditorPrompt.singleLine":"Fail ini terlalu besar untuk dipaparkan di sini.","codex.diffView.failedToDecodeBase64Diff":"Gagal menyahkod perbezaan base64","codex.diffView.filesChanged":"{fileCount, plural, other {# fail diubah}}","codex.diffView.imagePreviewAlt":"Pratonton imej","codex.diffView.imagePreviewEmpty":"Tiada imej","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Tiada data perbezaan","codex.diffView.pdfPreview.nextPage":"Halaman seterusnya","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Halaman sebelumnya","codex.diffView.pdfPreviewEmpty":"Tiada pratonton PDF","codex.diffView.pdfPreviewError":"Tidak dapat memaparkan pratonton PDF","codex.diffView.richPreviewDisable":"Nyahdayakan pratonton terperinci","codex.diffView.richPreviewEnable":"Dayakan pratonton terperinci","codex.diffView.richPreviewLoading":"Memuatkan pratonton…","codex.diffView.richPreviewToggle":"Togol pratonton terperinci","codex.diffView.switchToUnified":"Bertukar kepada perbezaan disatukan","codex.environmentSelector.noEnvironment":"Tiada persekitaran","codex.environments.environmentSettings":"Tetapan persekitaran","codex.environments.learnMore":"Ketahui lebih lanjut","codex.environments.listError":"Gagal memuatkan persekitaran.","codex.environments.noEnvironmentsFound":"Tiada persekitaran ditemukan","codex.environments.searchError":"Gagal mencari persekitaran.","codex.errorBoundary.genericError":"Oops, ralat telah berlaku","codex.errorBoundary.goHome":"Cuba lagi","codex.file.patch.missing":"Tidak dapat membina tampalan untuk fail ini.","codex.gallery.automations.cwdLabel":"Projek","codex.gallery.automations.nameLabel":"Nama","codex.gallery.automations.namePlaceholder":"Ringkaskan tugas","codex.gallery.automations.promptLabel":"Gesaan","codex.gallery.automations.promptPlaceholder":"Terangkan perkara yang perlu dilakukan oleh Codex","codex.gallery.dialogs.automation.label":"Dialog automasi","codex.gallery.dialogs.basic.body":"Gunakan reka letak ini untuk pengesahan atau borang pendek yang jelas dan mudah.","codex.gallery.dialogs.basic.cancel":"Batal","codex.gallery.dialogs.basic.confirm":"Sahkan","codex.gallery.dialogs.basic.label":"Dialog asas","codex.gallery.dialogs.basic.title":"Dialog contoh","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Terangkan masalah","codex.gallery.dialogs.feedbackSubmission.bad":"Hasil yang tidak baik","codex.gallery.dialogs.feedbackSubmission.bug":"Pepijat","codex.gallery.dialogs.feedbackSubmission.good":"Hasil yang baik","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Sertakan log sesi Codex semasa","codex.gallery.dialogs.feedbackSubmission.label":"Penyerahan maklum balas","codex.gallery.dialogs.feedbackSubmission.other":"Lain-lain","codex.gallery.dialogs.feedbackSubmission.placeholder":"Terangkan masalah di sini","codex.gallery.dialogs.feedbackSubmission.submit":"Serahkan","codex.gallery.dialogs.feedbackSubmission.title":"Maklum balas","codex.gallery.dialogs.feedbackSuccess.body":"Maklum balas dimuat naik. Jika masalah ini berterusan, sila buka masalah GitHub atau sebutkan ID urutan dalam masalah dibuka sedia ada:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ketepikan","codex.gallery.dialogs.feedbackSuccess.label":"Kejayaan maklum balas","codex.gallery.dialogs.feedbackSuccess.title":"Maklum balas dimuat naik","codex.gallery.dialogs.gitApplyResults.applied":"Digunakan dengan sempurna (2)","codex.gallery.dialogs.gitApplyResults.close":"Tutup","codex.gallery.dialogs.gitApplyResults.conflicted":"Bercanggah (1)","codex.gallery.dialogs.gitApplyResults.label":"Hasil penggunaan","codex.gallery.dialogs.gitApplyResults.title":"Hasil penggunaan","codex.gallery.dialogs.gitPushError.body":"Keluarkan perubahan terkini atau paksa tolak jika anda mengetahui sejarah jauh selamat untuk ditukar ganti.","codex.gallery.dialogs.gitPushError.cancel":"Batal","codex.gallery.dialogs.gitPushError.force":"Paksa tolak","codex.gallery.dialogs.gitPushError.label":"Ralat tolak","codex.gallery.dialogs.gitPushError.subtitle":"Cabang anda tidak dikemaskinikan mengikut asal/utama.","codex.gallery.dialogs.gitPushError.title":"Gagal menolak perubahan","codex.gallery.dialogs.gitRevert.cancel":"Batal","codex.gallery.dialogs.gitRevert.confirm":"Kembali sebelum","codex.gallery.dialogs.gitRevert.label":"Balikkan perubahan","codex.gallery.dialogs.gitRevert.skip":"Jangan tanya lagi","codex.gallery.dialogs.gitRevert.subtitle":"Tindakan ini mengalih keluar semua perubahan ini.","codex.gallery.dialogs.gitRevert.title":"Balikkan perubahan?","codex.gallery.dialogs.longForm.label":"Dialog bentuk panjang","codex.gallery.dialogs.proseModal.body":"Gaya modal ini digunakan untuk arahan yang lebih panjang, suai tugas, atau blok kandungan yang terperinci.","codex.gallery.dialogs.proseModal.close":"Tutup","codex.gallery.dialogs.proseModal.subtitle":"Kongsi panduan atau dokumentasi bentuk lebih panjang di sini.","codex.gallery.dialogs.proseModal.title":"Modal prosa","codex.gallery.dialogs.submitBlocked.label":"Penyerahan disekat","codex.gallery.dialogs.submitBlocked.message":"Mesej anda tidak dapat dihantar kerana projek tidak tersedia.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Tidak dapat menghantar mesej","codex.gallery.dialogs.title":"Dialog","codex.gallery.dropdown.filterPlaceholder":"Tapis item","codex.gallery.dropdowns.actionRow":"Baris tindakan","codex.gallery.dropdowns.actionRow.disabled":"Tindakan yang dinyahdayakan","codex.gallery.dropdowns.actionRow.primary":"Tindakan utama","codex.gallery.dropdowns.actionRow.secondary":"Tindakan kedua","codex.gallery.dropdowns.actionRow.trigger":"Tunjukkan tindakan","codex.gallery.dropdowns.basic":"Menu lungsur asas","codex.gallery.dropdowns.basic.newFile":"Fail baharu","codex.gallery.dropdowns.basic.newFolder":"Folder baharu","codex.gallery.dropdowns.basic.openSettings":"Buka tetapan","codex.gallery.dropdowns.basic.title":"Tindakan pantas","codex.gallery.dropdowns.basic.trigger":"Buka menu","codex.gallery.dropdowns.basic.upload":"Muat naik","codex.gallery.dropdowns.panel":"Paparan panel","codex.gallery.dropdowns.panel.apply":"Gunakan","codex.gallery.dropdowns.panel.body":"Semak perbezaan dan gunakan pada projek anda.","codex.gallery.dropdowns.panel.preview":"Pratonton","codex.gallery.dropdowns.panel.title":"Gunakan perubahan","codex.gallery.dropdowns.panel.trigger":"Buka panel","codex.gallery.dropdowns.search":"Menu lungsur boleh dicari","codex.gallery.dropdowns.search.first":"Saluran Alpha","codex.gallery.dropdowns.search.second":"Cabang Beta","codex.gallery.dropdowns.search.third":"Calon keluaran","codex.gallery.dropdowns.search.trigger":"Tapis item","codex.gallery.dropdowns.submenu":"Menu lungsur dengan submenu","codex.gallery.dropdowns.submenu.optionA":"Projek alpha","codex.gallery.dropdowns.submenu.optionB":"Projek beta","codex.gallery.dropdowns.submenu.optionC":"Projek gamma","codex.gallery.dropdowns.submenu.primary":"Tetapkan pemilik","codex.gallery.dropdowns.submenu.secondary":"Alihkan kepada","codex.gallery.dropdowns.submenu.tertiary":"Arkib","codex.gallery.dropdowns.submenu.trigger":"Pilih tindakan","codex.gallery.dropdowns.title":"Menu lungsur","codex.gallery.inbox.automations.close":"Tutup","codex.gallery.inbox.automations.popover.cardTitle":"Urus automasi","codex.gallery.inbox.automations.popover.dialogTitle":"Urus automasi","codex.header.settingsTooltip":"Tetapan","codex.hunk.patch.error":"Gagal menyediakan perubahan","codex.hunk.patch.missing":"Tidak dapat membina tampalan untuk perubahan besar ini.","codex.hunk.patch.partialSuccess":"Kejayaan separa","codex.hunk.patch.revertError":"Gagal membatalkan persediaan perubahan","codex.hunk.patch.revertSuccess":"Persediaan perubahan berjaya dibatalkan","codex.hunk.patch.success":"Persediaan perubahan berjaya dicipta","codex.legal.autonomy.details":"Untuk mendapatkan butiran lanjut, lihat {link}","codex.legal.autonomy.details.link":"Dokumen Codex","codex.legal.autonomy.title":"Tentukan jumlah autonomi yang ingin anda berikan","codex.legal.backButton":"Kembali","codex.legal.cloud.taskOne.meta":"openai/agi · 12 Okt","codex.legal.cloud.taskOne.title":"Terangkan repositori kepada pereka bentuk baharu","codex.legal.cloud.taskThree.meta":"openai/codex · 8 Okt","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Cipta tema mod gelap","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 Okt","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Betulkan pepijat suai tugas","codex.legal.continue.apikey":"Teruskan","codex.legal.continueButton":"Seterusnya","codex.legal.copilot.details":"Gunakan pelan Copilot anda untuk semua panggilan model, pengebilan dan had kadar. Penggunaan sambungan Codex tertakluk pada {oaiTos} dan juga {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Terma Perkhidmatan GitHub","codex.legal.copilot.oaiTosLink":"Terma perkhidmatan Codex OpenAI","codex.legal.copilot.title":"Dikuasakan oleh Copilot GitHub","codex.legal.mistakes.review":"Semak kod yang ditulis dan perintah yang dijalankan","codex.legal.mistakes.title":"Codex boleh membuat kesilapan","codex.legal.powered.details":"Menggunakan had kadar pelan anda dan {link}","codex.legal.powered.details.link":"keutamaan data latihan","codex.legal.powered.title":"Dikuasakan oleh akaun ChatGPT anda","codex.legal.step.cloud.subtitle":"Hantar tugas kepada Codex untuk dijalankan pada latar belakang supaya anda boleh kekal fokus dan bergerak dengan lebih pantas.","codex.legal.step.cloud.title":"Penyerahan kepada Codex dalam awan","codex.legal.step.intro.subtitle":"Codex menavigasi, mengedit, menjalankan perintah dan melaksanakan ujian terus dalam wadah anda. Dikuasakan oleh akaun ChatGPT anda.","codex.legal.step.intro.title":"Codex dalam IDE anda","codex.legal.step.todo.subtitle":"Tulis ulasan TUGASAN dan tukar kepada tugas Codex dengan satu klik.","codex.legal.step.todo.title":"Tukar TUGASAN menjadi tugas Codex","codex.legal.todo.heading":"// TUGASAN: laksanakan skema","codex.localConversation.closeImagePreview":"Tutup pratonton imej","codex.localConversation.userImageAttachment":"Lampiran pengguna","codex.localTaskRow.archiveTask":"Urutan arkib","codex.localTaskRow.awaitingApproval":"Menunggu kelulusan","codex.localTaskRow.awaitingResponse":"Sedang menunggu respons","codex.localTaskRow.confirmArchiveTask":"Sahkan","codex.loggedOut.apiKeyPrompt.cancel":"Batal","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Dapatkan Kunci API","codex.loggedOut.apiKeyPrompt.inputLabel":"Masukkan kunci API OpenAI anda","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tugas awan dinyahdayakan dengan kunci API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tugas awan dinyahdayakan dengan Copilot dan kunci API","codex.loggedOut.signIn":"Log masuk menggunakan ChatGPT","codex.loggedOut.signIn.cancel":"Batalkan Log Masuk","codex.loggedOut.signInWithCopilot":"Log masuk menggunakan Copilot GitHub","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Gunakan Kunci API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} Alat {tool} MCP","codex.mcpTool.collapsedLabel.verb.called":"Dipanggil","codex.mcpTool.collapsedLabel.verb.calling":"Memanggil","codex.mcpTool.embeddedResource.contentLabel":"Kandungan","codex.mcpTool.embeddedResource.mimeTypeLabel":"Jenis MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Alat mengembalikan tiada kandungan","codex.mcpTool.rawPayloadHeading":"Muat beban panggilan alat {server}.{tool} mentah","codex.menu.recent":"Baru-baru ini","codex.menu.seeAllHistory":"Lihat semua sejarah","codex.modelCapacityBanner.headline.noReset":"{modelName} telah mencapai had kapasiti buat masa ini. Cuba lagi kemudian, atau mulakan perbualan baharu dengan model lain.","codex.modelCapacityBanner.headline.withReset":"{modelName} telah mencapai had kapasiti buat masa ini. Cuba lagi selepas {resetDate}, atau mulakan perbualan baharu dengan model lain.","codex.modelCapacityBanner.title":"Model yang dipilih telah mencapai had kapasiti","codex.patch.change.contentsDeleted":"Kandungan dipadam","codex.patch.change.created":"Dicipta","codex.patch.change.created-file":"Fail yang dicipta","codex.patch.change.creating":"Sedang dicipta","codex.patch.change.deleted":"Dipadamkan","codex.patch.change.deleted-file":"Fail yang dipadamkan","codex.patch.change.deleting":"Memadamkan","codex.patch.change.edited":"Diedit","codex.patch.change.edited-file":"Fail yang diedit","codex.patch.change.editing":"Pengeditan","codex.patch.change.noChanges":"Tiada perubahan","codex.patch.change.rejected-add":"Ditolak","codex.patch.change.rejected-delete":"Ditolak","codex.patch.change.rejected-edit":"Ditolak","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} daripada {total} tugasan diselesaikan","codex.plan.todoListCreated":"Senarai tugasan dibuat dengan {total} tugasan","codex.profileDropdown.apiKeyAuth":"Log masuk menggunakan kunci API","codex.profileDropdown.codexSettings":"Tetapan Codex","codex.profileDropdown.copilotAuth":"Log masuk menggunakan Copilot","codex.profileDropdown.defaultAccountTitle":"Akaun lalai","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter untuk menghantar gesaan yang panjang","codex.profileDropdown.enterBehaviorError":"Gagal mengemaskinikan tetapan","codex.profileDropdown.getPlus":"Naik taraf untuk memperoleh had yang lebih tinggi","codex.profileDropdown.keyboardShortcuts":"Pintasan papan kekunci","codex.profileDropdown.language":"Bahasa","codex.profileDropdown.languageDefault":"Autokesan","codex.profileDropdown.languageSearchPlaceholder":"Cari bahasa","codex.profileDropdown.languageUpdateError":"Gagal mengemaskinikan bahasa","codex.profileDropdown.logOut":"Log keluar","codex.profileDropdown.mcp":"Tetapan MCP","codex.profileDropdown.openConfigToml":"Buka config.toml","codex.profileDropdown.openConfigToml.wsl":"Buka config.toml dalam persekitaran WSL","codex.profileDropdown.openExtensionSettings":"Buka tetapan","codex.profileDropdown.openMcpSettings":"Buka tetapan MCP","codex.profileDropdown.openOnStartup":"Buka semasa permulaan","codex.profileDropdown.openOnStartupError":"Gagal mengemaskinikan tetapan","codex.profileDropdown.openSkillsSettings":"Buka tetapan Kemahiran","codex.profileDropdown.personalAccountTitle":"Akaun peribadi","codex.profileDropdown.queueFollowUps":"Memasuki baris gilir untuk susulan","codex.profileDropdown.queueFollowUpsError":"Gagal mengemaskinikan tetapan","codex.profileDropdown.readDocs":"Baca dokumen","codex.profileDropdown.readSkillsDocs":"Baca dokumen","codex.profileDropdown.runInWsl":"Jalankan dalam WSL","codex.profileDropdown.runInWslError":"Gagal mengemaskinikan tetapan","codex.profileDropdown.runInWslTooltip":"Jalankan Codex dalam WSL. Disyorkan untuk keselamatan kotak pasit yang dipertingkatkan dan prestasi yang lebih baik.","codex.profileDropdown.settings":"Tetapan IDE","codex.profileDropdown.settingsPage":"Tetapan","codex.profileDropdown.signInWithOpenAI":"Log masuk menggunakan ChatGPT","codex.profileDropdown.skills":"Tetapan Kemahiran","codex.profileDropdown.switchToCopilotAccount":"Gunakan akaun Copilot","codex.profileDropdown.switchToOpenAIAccount":"Gunakan akaun OpenAI","codex.profileDropdown.todoCodelens":"Betulkan ulasan TUGASAN","codex.profileDropdown.todoCodelensError":"Gagal mengemaskinikan tetapan","codex.profileDropdown.windowsDocumentation":"Dokumentasi Windows","codex.profileFooter.signedInFallback":"Tetapan","codex.profileFooter.upgrade":"Naik taraf","codex.recentTasksMenu.clearSearch":"Kosongkan carian","codex.recentTasksMenu.cloud":"Tugasan awan","codex.recentTasksMenu.count":"{count, plural, =0 {Tiada tugasan sedang dijalankan} other {# tugasan sedang dijalankan}}","codex.recentTasksMenu.empty":"Belum ada urutan lagi","codex.recentTasksMenu.errorCloud":"Gagal memuatkan tugasan.","codex.recentTasksMenu.errorCloud.inline":"Gagal memuatkan tugasan awan.","codex.recentTasksMenu.filterAll":"Semua","codex.recentTasksMenu.filterCloudTasks":"Tapis tugasan awan","codex.recentTasksMenu.filterTooltip":"Tapis tugasan mengikut persekitaran","codex.recentTasksMenu.local":"Tugasan setempat","codex.recentTasksMenu.recent":"Semua tugasan","codex.recentTasksMenu.search":"Cari tugasan terbaharu","codex.recentTasksMenu.searchEmpty":"Tiada hasil","codex.recentTasksMenu.tooltip":"Sejarah tugas","codex.recentTasksMenu.trigger":"Tugasan terbaharu. {count, plural, other {# sedang dijalankan}}","codex.remoteConversation.applyDiff.applyCta":"Gunakan perubahan","codex.remoteConversation.applyDiff.dropdownTitle":"Gunakan perubahan pada cawangan setempat","codex.remoteConversation.applyDiff.revertCta":"Balikkan perubahan","codex.remoteConversation.closeImagePreview":"Tutup pratonton imej","codex.remoteConversation.codexCloudTask":"Anda sedang melihat tugas <u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Ralat: {message}","codex.remoteConversation.loadingImage":"Memuatkan imej","codex.remoteConversation.openInWeb":"Buka dalam web","codex.remoteConversation.streaming":"Bermula","codex.remoteConversation.turnFailed":"Ralat berlaku semasa tugas ini","codex.remoteConversation.turnTab.loading":"Cuba {number}","codex.remoteConversation.turnTab.title":"Cuba {number}","codex.remoteConversation.userImageAttachment":"Lampiran pengguna","codex.remoteConversation.viewPreviousTurns":"Buka dalam web","codex.remoteConversation.viewPreviousTurns.buttonText":"Buka","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Buka dalam web","codex.review.copyGitApplyCommand":"Salin perintah penggunaan git","codex.review.copyGitApplyCommand.toast":"Perintah penggunaan git disalin pada papan keratan","codex.review.diffTooLarge.description":"Perbezaan ini terlalu besar untuk dipaparkan dalam Semakan.","codex.review.diffTooLarge.title":"Perbezaan terlalu besar untuk dipaparkan","codex.review.expandOrCollapseDiffButton.collapse":"Runtuhkan semua perbezaan","codex.review.expandOrCollapseDiffButton.expand":"Kembangkan semua perbezaan","codex.review.expandOrCollapseDiffMenu.collapse":"Runtuhkan semua perbezaan","codex.review.expandOrCollapseDiffMenu.expand":"Kembangkan semua perbezaan","codex.review.fileSearch.clear":"Kosongkan penapis fail","codex.review.fileSearch.empty":"Tiada fail yang sepadan dengan penapis semasa.","codex.review.fileSearch.label":"Tapis fail","codex.review.fileSearch.placeholder":"Tapis fail…","codex.review.filesChanged":"{num, plural, =0 {Tiada fail yang diubah} other {# fail diubah}}","codex.review.find.loadMore":"Memuatkan lebih banyak padanan","codex.review.fullReview.hideFileTree":"Sembunyikan pepohon fail","codex.review.fullReview.showFileTree":"Tunjukkan pepohon fail","codex.review.header.moreOptions":"Semak pilihan","codex.review.largeDiff.banner":"Perbezaan besar dikesan — menunjukkan satu fail pada satu-satu masa.","codex.review.loadFullFiles.disable":"Jangan muatkan fail penuh","codex.review.loadFullFiles.enable":"Muatkan fail penuh","codex.review.noDiff":"Perubahan fail akan dipaparkan di sini","codex.review.noDiff.gitInit.createRepository":"Cipta wadah git","codex.review.noDiff.gitInit.creating":"Sedang dicipta…","codex.review.noDiff.gitInit.error":"Git init gagal: {message}","codex.review.noDiff.gitInit.success":"Wadah git dicipta","codex.review.noDiff.gitRepoRequired.description":"Jejaki dan buat asal perubahan dalam projek ini","codex.review.noDiff.gitRepoRequired.title":"Cipta wadah Git","codex.review.noDiff.orNoLongerAvailable":"atau perbezaan terkini tidak lagi tersedia","codex.review.noDiff.reverted":"Pusingan terakhir telah dibatalkan.","codex.review.noDiff.revertedOrCommitted":"Pusingan terakhir sama ada telah dibatalkan atau disahkan.","codex.review.refreshGitQueries":"Segar semula","codex.review.revert.file.error":"Gagal mengembalikan semula {path}","codex.review.revert.file.partialSuccess":"{path} dibalikkan sebahagiannya","codex.review.revert.file.success":"{path} dibalikkan","codex.review.revert.hunk.error":"Gagal mengembalikan semula perubahan besar {hunkNumber} dalam {path}","codex.review.revert.hunk.partialSuccess":"Perubahan besar {hunkNumber} dibalikkan sebahagiannya dalam {path}","codex.review.revert.hunk.success":"Sebahagian besar {hunkNumber} dibalikkan dalam {path}","codex.review.revert.section.error":"Gagal mengembalikan semula bahagian","codex.review.revert.section.partialSuccess":"Bahagian dibalikkan sebahagiannya","codex.review.revert.section.success":"Bahagian telah dibalikkan","codex.review.revertDialog.cancel":"Batal","codex.review.revertDialog.confirm":"Sahkan","codex.review.revertDialog.message":"Tindakan ini mengalih keluar semua perubahan ini.","codex.review.revertDialog.skip":"Jangan tanya lagi","codex.review.revertDialog.title":"Balikkan perubahan?","codex.review.richPreview.disable":"Nyahdayakan pratonton terperinci","codex.review.richPreview.enable":"Dayakan pratonton terperinci","codex.review.source.cloud":"Perubahan awan","codex.review.source.local.all":"Semua perubahan cawangan","codex.review.source.local.lastTurn":"Perubahan pusingan akhir","codex.review.source.local.uncommitted":"Perubahan yang tidak dilaksanakan","codex.review.source.worktree":"Perubahan direktori kerja yang tidak disimpan","codex.review.stageFilter.empty.staged.description":"Terima pengeditan untuk menandai sedia pengeditan tersebut","codex.review.stageFilter.empty.staged.title":"Tiada perubahan yang ditandai sedia","codex.review.stageFilter.empty.unstaged.description":"Perubahan kod akan dipaparkan di sini","codex.review.stageFilter.empty.unstaged.title":"Tiada perubahan yang tidak ditandai sedia","codex.review.stageFilter.staged":"Disediakan perubahan","codex.review.stageFilter.staged.count":"Disediakan perubahan · {count}","codex.review.stageFilter.unstaged":"Batalkan persediaan perubahan","codex.review.stageFilter.unstaged.count":"Batalkan persediaan perubahan · {count}","codex.review.switchToSplit":"Beralih kepada perbezaan pembahagian","codex.review.switchToUnified":"Bertukar kepada perbezaan disatukan","codex.review.toggleDiffView":"Togol paparan perbezaan","codex.review.wordDiffs.disable":"Nyahdayakan perbezaan perkataan","codex.review.wordDiffs.enable":"Dayakan perbezaan perkataan","codex.review.wrap.disable":"Nyahdayakan ringkasan perkataan","codex.review.wrap.enable":"Dayakan ringkasan perkataan","codex.section.patch.missing":"Tidak dapat membina tampalan untuk bahagian ini.","codex.shell.collapse":"Runtuhkan kerangka","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kandungan kerangka disalin","codex.shell.copy.copyTooltip":"Salin kandungan kerangka","codex.shell.copyCommand":"Salin perintah","codex.shell.copyOutput":"Salin output","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Kembangkan kerangka","codex.shell.name":"Kerangka","codex.shell.noOutput":"Tiada output","codex.signInFailed.message":"Daftar masuk gagal: {rawMessage}","codex.stories.toast.show":"Tunjukkan Toast","codex.stories.tooltip.basic":"Ini merupakan petua alat","codex.stories.tooltip.hoverMe":"Tuding saya","codex.stories.tooltip.largerOffset":"Petua alat ini memiliki ofset yang lebih besar","codex.stories.tooltip.offsetButton":"Ofset yang lebih besar","codex.stories.tooltip.shortcutButton":"Dengan pintasan","codex.stories.tooltip.withShortcut":"Togol terminal","codex.taskRow.title":"Urutan baharu","codex.taskRowLayout.confirm":"Sahkan","codex.threadFindBar.chatFilter":"Cari sembang","codex.threadFindBar.close":"Tutup cari","codex.threadFindBar.diffFilter":"Cari perbezaan","codex.threadFindBar.label":"Cari dalam urutan","codex.threadFindBar.nextResult":"Hasil seterusnya","codex.threadFindBar.noResults":"0 hasil","codex.threadFindBar.placeholder":"Cari urutan…","codex.threadFindBar.placeholder.extension":"Cari urutan…","codex.threadFindBar.placeholder.review":"Cari perbezaan…","codex.threadFindBar.placeholder.review.extension":"Cari perbezaan…","codex.threadFindBar.previousResult":"Hasil sebelumnya","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# fail diubah}}","codex.unifiedDiff.inlineLargeFile":"Terlalu besar untuk dipaparkan sebaris","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Buat asal","codex.unifiedDiff.revertPatchError":"Gagal mengembalikan semula perubahan","codex.unifiedDiff.revertPatchSuccess":"Perubahan dikembalikan semula","codex.unifiedDiff.reviewChangesSuffix":"perubahan","codex.unifiedDiff.reviewShort":"Semak","codex.unifiedDiff.viewDiffTooltip":"Semak","codex.upsellBanner.business.headline":"Untuk mendapatkan lebih banyak akses sekarang, hantar permintaan kepada pentadbir anda, atau tunggu hingga {resetDate}.","codex.upsellBanner.cbp.headline":"Untuk mendapatkan lebih banyak akses sekarang, hantar permintaan kepada pentadbir anda.","codex.upsellBanner.cta.addCredits":"Tambah Kredit","codex.upsellBanner.cta.upgradeAccount":"Naik taraf","codex.upsellBanner.cta.viewUsage":"Lihat Penggunaan","codex.upsellBanner.freeOrGo.headline":"Had kadar anda diset semula pada {resetDate}. Untuk terus menggunakan Codex, naik taraf kepada Plus hari ini.","codex.upsellBanner.general.headline":"Had kadar anda diset semula pada {resetDate}.","codex.upsellBanner.general.title":"Anda kehabisan mesej Codex","codex.upsellBanner.plus.headline":"Had kadar anda diset semula pada {resetDate}. Untuk terus menggunakan Codex, tambahkan kredit atau naik taraf kepada Pro hari ini.","codex.upsellBanner.pro.headline":"Had kadar anda diset semula pada {resetDate}. Tambahkan kredit untuk terus menggunakan Codex sekarang.","codex.userMessage.autoResolveSync":"Selesaikan konflik secara automatik","codex.userMessage.commentCount":"{count, plural, other {# ulasan}}","codex.userMessage.copiedAriaLabel":"Telah disalin","codex.userMessage.copiedTooltip":"Telah disalin","codex.userMessage.copyAriaLabel":"Salin mesej","codex.userMessage.copyTooltip":"Salin","codex.userMessage.implementPlan":"Laksanakan pelan","codex.userMessage.noContent":"(Tiada kandungan)","codex.userMessage.priorConversation":"Rujuk perbualan awal","codex.userMessage.reviewMode":"Mod semakan","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"untuk {query}","codex.webSearch.summary.verb.completed":"Telah membuat carian web","codex.webSearch.summary.verb.inProgress":"Sedang membuat carian web","codex.windowsInstallWslBanner.dismiss":"Ketepikan","codex.windowsInstallWslBanner.installWslCta":"Dayakan sandbox","codex.windowsInstallWslBanner.learnMore":"Ketahui lebih lanjut","codex.windowsSandboxBanner.content":"Mod Ejen menggunakan sandbox percubaan pada Windows untuk mengehadkan capaian sistem fail dan rangkaian. {sandboxLink}","codex.windowsSandboxBanner.title":"Dayakan sandbox untuk Mod Ejen.","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Tetapan Windows","codexUpgradeModal.body":"Kini Codex dikuasakan oleh GPT-5.2-Codex, model pengekodan agen canggih kami yang terkini. Pada pengekodan, model ini ialah {link}; ditingkatkan lagi selepas GPT-5.2.","codexUpgradeModal.close":"Tutup","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"lebih pintar dan pantas","codexUpgradeModal.title":"Codex baru sahaja dinaik taraf","codexUpgradeModal.tryNewModel":"Cuba GPT-5.2-Codex sekarang","codexUpgradeModal.useExistingModel":"Teruskan dengan model semasa","commentAttachments.numComments":"{count, plural, other {# ulasan}}","commentAttachments.removeAriaLabel":"Alih keluarkan lampiran komen ","common.close":"Tutup","composer.addContext.openFilePickerError":"Tidak dapat membuka pemilih fail","composer.addContextDropdown.ariaLabel":"Tambah fail dan banyak lagi","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Tambah fail dan banyak lagi","composer.addPhotosAndFiles":"Tambah foto & fail","composer.atMentionList.emptyQuery":"Taip untuk mencari fail","composer.atMentionList.loading":"Sedang mencari...","composer.atMentionList.noResults":"Tiada hasil","composer.attemptsSelector.option":"{count, plural, other {# versi}}","composer.attemptsSelector.tooltip":"Bilangan percubaan yang serupa untuk membuat Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Berhenti","composer.cloudFollowUp.cloud":"Awan","composer.cloudFollowUp.local":"Setempat","composer.cloudFollowUp.whereRun":"Di manakah susulan ini patut dijalankan?","composer.cloudTaskCreationError":"Ralat semasa mencipta tugas awan","composer.cloudTaskError":"Ralat semasa mencipta tugas","composer.contextWindow.autoCompactionTooltipLine1":"Codex memadatkan konteks secara automatik","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Tetingkap konteks:","composer.contextWindowUsageStatusFull":"{usage}% penuh","composer.contextWindowUsageStatusLeft":"{usage}% digunakan ({remaining}% yang tinggal)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k token digunakan","composer.customCliTooltip":"Menggunakan CLI tersuai yang boleh dilaksanakan","composer.dictation.aria":"Imlak","composer.dictation.cancel.aria":"Hentikan imlak","composer.dictation.cancel.tooltip":"Hentikan imlak","composer.dictation.startError":"Tidak dapat memulakan pengimlakan","composer.dictation.submit.aria":"Buat transkripsi dan hantar","composer.dictation.submit.tooltip":"Buat transkripsi dan hantar","composer.dictation.tooltip":"Tahan untuk mengimlak","composer.dictation.transcribeError":"Tidak dapat mentranskripsikan audio","composer.dictation.unsupported":"Pengimlakan tidak tersedia pada peranti ini","composer.dropOverlay.holdShift":"Tahan {key} untuk lepas","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Cipta baharu","composer.environmentSelector.error":"Ralat memuatkan persekitaran","composer.environmentSelector.goBack":"Kembali kepada komposer","composer.environmentSelector.title":"Pilih persekitaran","composer.environmentSelector.tooltip":"Pilih persekitaran awan","composer.feedbackSlashCommand.title":"Maklum balas","composer.filePicker.selectFile":"Pilih fail","composer.filePicker.selectFiles":"Pilih fail","composer.followerTooltip":"Untuk meneruskan proses, kembali kepada tetingkap tempat perbualan ini bermula.","composer.footer.branchSwitch.checkoutError":"Gagal beralih cabang: {message}","composer.footer.branchSwitch.createAndCheckout":"Cipta dan beralih kepada cabang baharu…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Laksanakan perubahan untuk mencipta dan beralih kepada cabang baharu","composer.footer.branchSwitch.createBranchError":"Gagal mencipta cabang: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nama cawangan","composer.footer.branchSwitch.createDialog.branchExistsError":"Cabang sudah wujud.","composer.footer.branchSwitch.createDialog.close":"Tutup","composer.footer.branchSwitch.createDialog.createAndCheckout":"Cipta dan beralih","composer.footer.branchSwitch.createDialog.placeholder":"cabang baharu","composer.footer.branchSwitch.createDialog.title":"Cipta dan beralih cabang","composer.footer.branchSwitch.createDialog.trailingSlashError":"Nama cabang tidak boleh berakhir dengan “/”.","composer.footer.branchSwitch.tooltip":"Beralih cabang","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Laksanakan perubahan dalam {fileCount, plural, other {# fail}} untuk menukar cabang {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Pelaksanaan","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"perubahan dalam {fileCount, plural, other {# fail}} untuk menukar cabang {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Batal","composer.footer.branchSwitch.uncommittedDialog.commit":"Sahkan perubahan dan tukar cabang…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Perubahan yang anda buat kepada fail berikut akan ditulis ganti apabila menukar cabang:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Sila laksanakan perubahan anda untuk meneruskan proses","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"cabang yang dipilih","composer.footer.branchSwitch.uncommittedDialog.title":"Sahkan perubahan untuk menukar cabang","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Tidak dilaksanakan: {fileCount, plural, other {# fail}}","composer.forkSlashCommand.description":"Capah urutan ini menjadi direktori kerja setempat atau baharu","composer.forkSlashCommand.option.local.description":"Teruskan dalam urutan setempat baharu","composer.forkSlashCommand.option.local.title":"Capah kepada setempat","composer.forkSlashCommand.option.worktree.description":"Teruskan dalam direktori kerja baharu","composer.forkSlashCommand.option.worktree.title":"Capah kepada direktori kerja baharu","composer.forkSlashCommand.title":"Salin","composer.imageInputsUnsupported":"Model ini tidak menyokong input imej. Cuba model lain.","composer.imageUploadFailed":"Gagal memuat naik imej","composer.includeIdeContextDropdown":"Sertakan konteks IDE","composer.includeIdeContextDropdown.ariaLabel":"Sertakan konteks IDE","composer.localCwdDropdown.addWorkspaceRoot":"Tambah projek baharu","composer.localCwdDropdown.noActiveRoot":"Pilih projek anda","composer.localCwdDropdown.noResults":"Tiada folder ditemukan","composer.localCwdDropdown.title":"Pilih projek anda","composer.localTaskError":"Ralat ketika memulakan perbualan","composer.mcpSlashCommand.description":"Tunjukkan status pelayan MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Tidak disahkan","composer.mcpStatus.authOauth":"Disahkan (OAuth)","composer.mcpStatus.authToken":"Disahkan (kunci API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Tutup","composer.mcpStatus.disabled":"Dinyahdayakan","composer.mcpStatus.emptyLabel":"Pelayan:","composer.mcpStatus.emptyValue":"Tiada pelayan MCP dikonfigurasikan","composer.mcpStatus.enabled":"Didayakan","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Tidak dapat memuatkan status MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Ejen","composer.mode.agentMode.auto.dropdownLabel":"Ejen","composer.mode.agentMode.auto.optionLabel":"Ejen","composer.mode.agentMode.changePermission":"Tukar mod","composer.mode.agentMode.custom":"Tersuai","composer.mode.agentMode.custom.dropdownLabel":"Tersuai","composer.mode.agentMode.custom.option":"Tersuai (config.toml)","composer.mode.agentMode.custom.optionLabel":"Tersuai (config.toml)","composer.mode.agentMode.customInfo.cancel":"Batal","composer.mode.agentMode.customInfo.cli":"Anda boleh melaraskan tetapan tersebut daripada CLI atau dengan mengedit terus fail tersebut.","composer.mode.agentMode.customInfo.confirm":"Gunakan mod tersuai","composer.mode.agentMode.customInfo.description":"Mod tersuai menggunakan polisi kelulusan dan sandbox yang ditakrifkan dalam fail <link>config.toml</link> anda.","composer.mode.agentMode.customInfo.docs":"Ketahui lebih lanjut mengenai cara mengkonfigurasi polisi kelulusan dan sandbox dalam <link>dokumentasi persekitaran pelaksanaan</link>.","composer.mode.agentMode.customInfo.refresh":"Sebarang perubahan akan berkuat kuasa apabila ejen dijalankan pada kali seterusnya.","composer.mode.agentMode.customInfo.title":"Cara mod tersuai berfungsi","composer.mode.agentMode.fullAccess":"Ejen (akses penuh)","composer.mode.agentMode.fullAccess.dropdownLabel":"Ejen (akses penuh)","composer.mode.agentMode.fullAccess.optionLabel":"Ejen (akses penuh)","composer.mode.agentMode.fullAccessConfirm.caution":"Sila berhati-hati apabila mendayakan akses penuh. Hal ini akan meningkatkan risiko kehilangan, kebocoran data atau tingkah laku yang tidak dijangka dengan ketara.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ya, teruskan sahaja","composer.mode.agentMode.fullAccessConfirm.description":"Apabila Codex dijalankan dengan akses penuh, Codex boleh mengedit mana-mana fail pada komputer anda dan menjalankan perintah dengan rangkaian, tanpa kelulusan anda.","composer.mode.agentMode.fullAccessConfirm.goBack":"Batal","composer.mode.agentMode.fullAccessConfirm.title":"Dayakan akses penuh?","composer.mode.agentMode.readOnly":"Sembang","composer.mode.agentMode.readOnly.dropdownLabel":"Sembang","composer.mode.agentMode.readOnly.optionLabel":"Sembang","composer.mode.agentMode.tooltip":"Tukar mod","composer.mode.agentMode.tooltip.auto":"Baca dan edit fail, serta jalankan perintah.","composer.mode.agentMode.tooltip.custom":"Gunakan dasar kelulusan dan kotak pasir terkini yang ditentukan dalam config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex boleh mengedit fail di luar projek dan menjalankan perintah dengan akses rangkaian. Sila berwaspada semasa penggunaan.","composer.mode.agentMode.tooltip.readOnly":"Memerlukan kelulusan untuk mengedit fail dan menjalankan perintah.","composer.mode.cloud.tooltip":"Berfungsi dalam persekitaran awan","composer.mode.contactAdmin":"Untuk mendapatkan lebih banyak akses, hubungi pentadbir anda","composer.mode.local":"Setempat","composer.mode.local.learnMore":"Ketahui lebih lanjut","composer.mode.local.model.custom":"Tersuai","composer.mode.local.model.loadingModel":"Memuatkan model","composer.mode.local.model.selecrReasoningEffort":"Pilih penaakulan","composer.mode.local.model.selectModel":"Pilih model","composer.mode.local.model.tooltip":"Pilih model","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Tinggi","composer.mode.local.reasoning.low.label":"Rendah","composer.mode.local.reasoning.medium.label":"Sederhana","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Tiada","composer.mode.local.reasoning.xhigh.label":"Sangat Tinggi","composer.mode.localRemoteWhereRun":"Pilih tempat untuk menjalankan tugasan","composer.mode.newTask.header":"Teruskan dalam","composer.mode.rateLimit.day":"{days}h","composer.mode.rateLimit.heading":"Had kadar yang berbaki","composer.mode.rateLimit.hour":"{hours}j","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"Had {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} had minggu}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} Minggu}}","composer.mode.remote.connectToCloud":"Sambungkan web Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Sediakan persekitaran melalui web Codex untuk mendayakan penghantaran tugasan kepada awan","composer.mode.remote.selectEnvironment":"Pilih persekitaran","composer.mode.remote.sendToCloud":"Hantar kepada awan","composer.mode.remote.setupViaWeb":"Sediakan persekitaran melalui web Codex","composer.mode.runInCloud":"Awan","composer.mode.runInCloudWithEnvironment":"Awan · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Berfungsi dalam persekitaran awan","composer.mode.segmentedToggle.local.tooltip":"Berfungsi dalam projek setempat anda","composer.mode.segmentedToggle.worktree.tooltip":"Berfungsi dalam organisasi pekerjaan yang selari","composer.mode.upgradeToPlus":"Naik taraf kepada Plus","composer.mode.upgradeToPro":"Naik taraf kepada Pro","composer.mode.workLocally":"Projek setempat","composer.mode.workLocally.currentBranchFallback":"cawangan anda","composer.mode.workLocally.tooltip":"Berfungsi pada {branchName}","composer.mode.worktree":"Organisasi pekerjaan baharu","composer.mode.worktree.submoduleWarning":"Wadah ini memiliki submodul git. Penciptaan direktori kerja mungkin gagal","composer.mode.worktree.tooltip":"Cipta salinan projek setempat anda agar berfungsi secara selari","composer.mode.worktreeSegment":"Organisasi pekerjaan","composer.modelChangeDuringConversationWarning.toast":"Pengubahan model semasa perbualan akan mengurangkan prestasi.","composer.newChat.heading.browser":"Apakah perkara seterusnya yang perlu kami lakukan pengekodan?","composer.permissionsDropdown.custom.label":"Tersuai (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Tersuai (config.toml)","composer.permissionsDropdown.default.label":"Kebenaran lalai","composer.permissionsDropdown.default.optionLabel":"Kebenaran lalai","composer.permissionsDropdown.fullAccess.disabled":"Akses penuh dinyahdayakan oleh requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Ubah kebenaran","composer.personalitySlashCommand.description.friendly":"Mesra, bekerjasama, dan membantu","composer.personalitySlashCommand.description.pragmatic":"Tepat, bertumpukan tugas, dan terus terang","composer.personalitySlashCommand.label.friendly":"Ramah","composer.personalitySlashCommand.label.pragmatic":"Pragmatik","composer.personalitySlashCommand.notApplicableSuffix":"(Tidak digunakan pada model semasa)","composer.personalitySlashCommand.title":"Personaliti","composer.placeholder.cloudFollowUp.directFollowUp":"Susulan terhadap tugas awan ini","composer.placeholder.cloudFollowUp.local":"Cipta tugas setempat baharu yang merujuk tugas awan ini","composer.placeholder.cloudFollowUp.workingTree":"Cipta tugas awan baharu yang merangkumi kod semasa anda dan akan merujuk tugas ini","composer.placeholder.localFollowUp.cloud":"Susulan dalam tugas awan baharu","composer.placeholder.localFollowUp.locally":"Minta perubahan susulan","composer.placeholder.newTask.cloud":"Minta Codex melakukan apa-apa sahaja dalam awan","composer.placeholder.newTask.doAnything":"Minta Codex melakukan apa-apa sahaja","composer.placeholder.newTask.locally":"Tanya Codex apa-apa sahaja, @ untuk menambahkan fail, / untuk perintah","composer.planModeDropdown":"Mod pelan","composer.planModeDropdown.ariaLabel":"Mod pelan","composer.planModeIndicator":"Pelan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Matikan mod pelan","composer.planSlashCommand.enableDescription":"Hidupkan mod pelan","composer.planSlashCommand.title":"Mod pelan","composer.priorContext.label":"Konteks sebelumnya","composer.priorContext.removeAriaLabel":"Alih keluar konteks sebelumnya","composer.queuedMessage.delete":"Padamkan mesej yang diatur","composer.queuedMessage.edit":"Edit mesej","composer.queuedMessage.more":"Tindakan mesej yang diatur","composer.queuedMessage.sendNow":"Hantar sekarang","composer.queuedMessage.turnOff":"Matikan pengaturan","composer.reasoningEffort.local.reasoning.tooltip":"Pilih usaha penaakulan","composer.remote.branchStartingPoint":"Apakah cabang yang perlu dimulakan oleh tugas ini?","composer.remote.branchesSectionHeading":"Cawangan","composer.remote.currentEditsSuffix.followUp":"Cipta tugas baharu yang merujuk tugas awan ini.","composer.remote.currentEditsSuffix.useLocal":"dengan perubahan kod setempat","composer.remote.directFollowUp":"Jangan gunakan perubahan setempat","composer.remote.errorLoadingBranches":"Ralat memuatkan cawangan","composer.remote.fromBranch":"Daripada {branch}","composer.remote.fromCurrentBranch":"Daripada {branch} (semasa)","composer.remote.loadingMoreBranches":"Memuatkan…","composer.remote.localFileStateHeading":"Keadaan fail setempat","composer.remote.localWorkingTree":"Gunakan perubahan setempat","composer.remote.startingPoint":"Apakah kod yang perlu dimulakan oleh tugas ini?","composer.reviewMode.branches.error":"Tidak dapat memuatkan cawangan","composer.reviewMode.branches.retry":"Cuba semula","composer.reviewMode.gitRoot.error":"Asas Git tidak ditemukan","composer.reviewMode.option.baseBranch.simple":"Semak terhadap cawangan asas","composer.reviewMode.option.unstaged.simple":"Semak perubahan yang tidak dilaksanakan","composer.reviewMode.quickReviewError":"Gagal memulakan semakan kod.","composer.reviewMode.title":"Semakan kod","composer.sandboxButton.unlock.disabled.tooltip":"Akses penuh dinyahdayakan oleh requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex boleh menggunakan sandbox percubaan pada Windows untuk mengehadkan capaian sistem fail dan rangkaian. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Dayakan Windows Sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Gunakan baca sahaja","composer.searchEnvironments":"Cari persekitaran","composer.skillMentionList.app":"Apl","composer.skillMentionList.loading":"Sedang memuatkan kemahiran…","composer.skillMentionList.noResults":"Tiada kemahiran ditemukan","composer.slashCommands.cloudEnvironment.title":"Persekitaran awan","composer.slashCommands.dialogLabel":"Menu perintah garis condong","composer.slashCommands.dialogTitle":"Perintah garis condong","composer.slashCommands.disabledTooltip":"Mulakan perbualan baharu untuk menggunakan perintah garis condong","composer.slashCommands.inputPlaceholder":"Buat carian","composer.slashCommands.noResults":"Tiada perintah","composer.slashCommands.skillsGroup":"Kemahiran","composer.slashCommands.tooltip":"Layari perintah garis condong","composer.status.close":"Tutup","composer.statusPlain.alertLabel":"Makluman:","composer.statusPlain.alertValue":"{remaining}% yang tinggal pada {window}","composer.statusPlain.contextLabel":"Konteks:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} digunakan / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% lagi","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Had {modelName}:","composer.statusPlain.rateLimitDays":"Had {count}h","composer.statusPlain.rateLimitFallbackLabel":"Had kadar:","composer.statusPlain.rateLimitHours":"Had {count}j","composer.statusPlain.rateLimitLabelBase":"Had kadar","composer.statusPlain.rateLimitMinutes":"Had {count}m","composer.statusPlain.rateLimitPercent":"{remaining}% lagi","composer.statusPlain.rateLimitReset":"set semula {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"masa set semula tidak tersedia","composer.statusPlain.rateLimitUnavailable":"Tidak tersedia","composer.statusPlain.sessionCopiedAriaLabel":"ID sesi telah disalin","composer.statusPlain.sessionCopiedTooltip":"ID telah disalin","composer.statusPlain.sessionCopyAriaLabel":"Salin ID sesi","composer.statusPlain.sessionCopyTooltip":"Salin ID","composer.statusPlain.sessionLabel":"Sesi:","composer.statusSlashCommand.description":"Tunjukkan ID urutan, penggunaan konteks, dan had kadar","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Tidak dapat menghantar mesej","composer.submit.emptyMessage":"Masukkan mesej untuk bermula","composer.submit.imageInputsUnsupported":"Alih keluar imej atau tukar model untuk menghantar mesej ini.","composer.submit.loadingLocalConfig":"Memuatkan…","composer.submit.missingCloudConfig":"Anda perlu memilih persekitaran awan","composer.submit.missingCloudTurn":"Tidak dapat membuat susulan tentang tugas ini","composer.submit.noWorkspace":"Tambahkan projek untuk menggunakan Codex","composer.submit.waitForImageUploads":"Imej sedang dimuat naik…","composer.submitButtonTooltip.send":"Hantar","composer.submitButtonTooltip.stop":"Berhenti","composer.worktreeEnvironment.create":"Cipta persekitaran setempat","composer.worktreeEnvironment.default":"Persekitaran lalai","composer.worktreeEnvironment.error":"Ralat memuatkan persekitaran","composer.worktreeEnvironment.loading":"Sedang memuatkan persekitaran…","composer.worktreeEnvironment.title":"Persekitaran setempat","composer.worktreeEnvironment.tooltip":"Pilih persekitaran setempat","composer.worktreeSetupFailed":"Persediaan organisasi kerja gagal. Semak .codex/environments untuk mendapatkan skrip persediaan.","compoundButton.secondaryAction":"Tindakan kedua","copyButton.copied":"Telah disalin","copyButton.copiedAriaLabel":"Telah disalin","copyButton.copy":"Salin","copyButton.copyAriaLabel":"Salin","copyButton.copyCode":"Salin kod","diff.actionButton.revertFile":"Balikkan fail","diff.actionButton.revertHunk":"Kembali sebelum","diff.actionButton.revertSection":"Balikkan semua","diff.actionButton.revertSectionLabel":"Balikkan semua","diff.actionButton.stageFile":"Sediakan perubahan fail","diff.actionButton.stageHunk":"Gunakan perubahan","diff.actionButton.stageSection":"Sediakan semua perubahan","diff.actionButton.stageSectionLabel":"Sediakan semua perubahan","diff.actionButton.unstageFile":"Batalkan persediaan perubahan fail","diff.actionButton.unstageHunk":"Batalkan penggunaan perubahan","diff.actionButton.unstageSection":"Batalkan semua persediaan perubahan","diff.actionButton.unstageSectionLabel":"Batalkan semua persediaan perubahan","diff.fileHeader.toggle":"Togol perbezaan fail","electron.onboarding.login.apikey.cancel":"Batal","electron.onboarding.login.apikey.continue":"Teruskan","electron.onboarding.login.apikey.label":"Kunci API OpenAI","electron.onboarding.login.apikey.open":"Masukkan kunci API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Batalkan log masuk","electron.onboarding.login.chatgpt.continue":"Teruskan dengan ChatGPT","electron.onboarding.login.devbox":"Sambungkan kepada SSH jarak jauh","electron.onboarding.login.error":"Daftar masuk gagal: {rawMessage}","electron.onboarding.login.snake.start":"Main Snake","electron.onboarding.login.sshConfig.cancel":"Batal","electron.onboarding.login.sshConfig.continue":"Teruskan","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Cara terbaik untuk membina dengan ejen","electron.onboarding.login.title":"Selamat datang ke Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Teruskan","electron.onboarding.welcome.doubleLimits.description":"Bagi meraikan pelancaran apl Codex, anda mempunyai 2× had kadar hingga 2 April.","electron.onboarding.welcome.freego.description":"Codex disertakan dalam pelan anda secara percuma hingga 2 Mac – mari mula membina bersama.","electron.onboarding.welcome.new.title.anon":"Selamat datang!","electron.onboarding.workspace.continue":"Teruskan","electron.onboarding.workspace.empty":"Tambahkan projek untuk meneruskan proses.","electron.onboarding.workspace.listLabel":"Projek yang tersedia","electron.onboarding.workspace.loading":"Sedang memuatkan projek…","electron.onboarding.workspace.openFolder":"Tambah projek","electron.onboarding.workspace.selectAll":"Pilih semua","electron.onboarding.workspace.skip":"Langkau","electron.onboarding.workspace.skip.error":"Tidak dapat mencipta projek baharu: {message}","electron.onboarding.workspace.skip.error.unknown":"Ralat tidak diketahui","electron.onboarding.workspace.skipping":"Mencipta projek baharu…","electron.onboarding.workspace.subtitle":"Codex akan dapat mengedit fail dan menjalankan perintah dalam folder yang dipilih.","electron.onboarding.workspace.title":"Pilih projek","errorPage.list.checkSettings":"Cuba kemas kinikan tetapan IDE anda","errorPage.list.configToml":"Semak config.toml anda bagi tetapan yang tidak sah","errorPage.list.downloadExtension":"Cuba muat turun versi sambungan yang lain","errorPage.list.runInWsl":"Semak tetapan anda untuk menyahdayakan pelaksanaan dalam WSL jika anda menghadapi maalah keserasian","execApprovalRequest.menu.runAlways":"Ya, dan jangan tanya sesi ini lagi","execApprovalRequest.menu.runAlwaysWithAmendment":"Ya, dan jangan tanya lagi untuk perintah yang bermula dengan {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ya, dan jangan tanya lagi untuk perintah yang bermula dengan","execApprovalRequest.menu.runOnce":"Ya","execApprovalRequest.prompt":"Adakah anda ingin menjalankan perintah ini?","execApprovalRequest.reject":"Tidak","execFooter.exitCode":"Kod keluar {code}","execFooter.exitCode.unknown":"tidak diketahui","execFooter.success":"Berjaya","feedback.dialog.category.badResult":"Hasil yang tidak baik","feedback.dialog.category.bug":"Pepijat","feedback.dialog.category.goodResult":"Hasil yang baik","feedback.dialog.category.other":"Lain-lain","feedback.dialog.descriptionPlaceholder":"Terangkan masalah di sini","feedback.dialog.dismiss":"Ketepikan","feedback.dialog.includeLogsLabel":"Sertakan log sesi Codex semasa","feedback.dialog.submit":"Serahkan","feedback.dialog.submitError":"Kami tidak dapat menyerahkan maklum balas anda. Sila cuba sebentar lagi.","feedback.dialog.title":"Maklum balas","feedback.dialog.uploadedMessage.existingIssue":"masalah terbuka sedia ada","feedback.dialog.uploadedMessage.openIssue":"buka masalah GitHub","feedback.dialog.uploadedMessage.withThread":"Maklum balas dimuat naik. Jika masalah ini berterusan, sila {openIssueLink} atau sebutkan ID urutan dalam {existingIssueLink}:","feedback.dialog.uploadedTitle":"Maklum balas dimuat naik","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Alih keluar {filename}","header.back":"Kembali","header.recentChats":"Tugas","header.recentTasks.seeAll":"Lihat semua ({total})","home.header.getPlus":"Dapatkan Plus","home.hero.letsBuild":"Mari membina","homePage.mainContent":"Kandungan utama","imageAttachment.defaultName":"Imej","imageAttachment.preview.close":"Tutup pratonton imej","imageAttachment.removeAriaLabel":"Alih keluar {filename}","implementPlanRequest.option.implement":"Ya, laksanakan pelan ini","implementPlanRequest.prompt":"Laksanakan pelan ini?","inbox.archived.deleteError":"Tidak dapat memadamkan pelaksanaan yang diarkibkan","inbox.archived.deleteRun":"Padamkan pelaksanaan yang diarkibkan","inbox.archived.deleteSuccess":"Urutan yang diarkibkan telah dipadamkan. Lihat dalam <settingsLink>Urutan yang diarkibkan</settingsLink>.","inbox.archived.inlineLabel.auto":"Urutan ini telah diarkibkan secara automatik. <learnMoreLink>Ketahui lebih lanjut</learnMoreLink>","inbox.archived.inlineLabel.manual":"Urutan ini telah diarkibkan.","inbox.archived.noMessageFound":"Tiada mesej ditemukan","inbox.automations.createError":"Tidak dapat mencipta automasi","inbox.automations.deleteConfirm.cancel":"Batal","inbox.automations.deleteConfirm.confirm":"Padamkan automasi","inbox.automations.deleteConfirm.description":"Tindakan ini akan memadamkan automasi secara kekal dan menghentikan sebarang pelaksanaan pada masa hadapan.","inbox.automations.deleteConfirm.title":"Padam {name}?","inbox.automations.deleteError":"Tidak dapat memadamkan automasi","inbox.automations.editTooltip":"Edit automasi","inbox.automations.inProgress":"Sedang Dijalankan","inbox.automations.new":"Baharu","inbox.automations.newToolbar":"Automasi baharu","inbox.automations.pauseTooltip":"Jeda automasi","inbox.automations.resumeTooltip":"Sambung semula automasi","inbox.automations.startingNow":"Bermula sekarang","inbox.automations.startsIn":"Bermula dalam masa {startTime}","inbox.automations.status.active":"Aktif","inbox.automations.status.paused":"Dijeda","inbox.automations.status.runs":"{count} dijalankan","inbox.automations.status.started":"Dimulakan {date}","inbox.automations.updateError":"Tidak dapat mengemaskinikan automasi","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Semua","inbox.filter.ariaLabel":"Tapis item peti masuk","inbox.filter.unread":"Belum dibaca","inbox.list.archived":"Diarkibkan","inbox.list.inProgress":"Sedang Dijalankan","inbox.list.recent":"Selesai","inbox.list.upNext":"Dijadualkan","inbox.mode.automations":"Automasi","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Tiada perihalan diberikan","inbox.openThread":"Buka urutan","inbox.rightPanel.emptySubtitle":"Automasikan kerja dengan menyediakan tugasan berjadual","inbox.rightPanel.emptySubtitle.learnMore":"Automasikan kerja dengan menyediakan tugasan berjadual. <link>Ketahui lebih lanjut</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# automasi yang aktif}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Tiada automasi yang belum dibaca","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# automasi yang belum dibaca}}","inbox.rightPanel.emptyTitle":"Tiada item dipilih","inbox.rightPanel.noThread":"Tiada urutan untuk item ini","inbox.rightPanel.quickStart.header":"Mulakan dengan templat","inbox.untitled":"Item peti masuk tanpa tajuk","loadingPage.documentationLink":"dokumentasi","loadingPage.errorDescription":"Codex ranap dengan ralat yang berikut:","loadingPage.errorDescription.documentation":"Klik muat semula untuk memulakan semula sambungan Codex, atau lawati {documentationLink} kami untuk mendapatkan bantuan tambahan.","loadingPage.errorSignal":"Beberapa perkara untuk dicuba:","loadingPage.errorTitle":"Ralat telah berlaku","loadingPage.openConfigToml":"Buka Config.toml","loadingPage.reload":"Muat semula","localConversation.contextCompacted":"Konteks dipadatkan secara automatik","localConversation.contextCompacting":"Memadatkan konteks secara automatik","localConversation.forkedFromConversation":"Dicapah daripada {threadTitle}","localConversation.merge.autoResolve.failed":"Gagal meminta penyelesaian automatik: {error}","localConversation.merge.autoResolve.sent":"Permintaan penyelesaian automatik telah dihantar","localConversation.merge.autoResolveMerge.missingConversation":"Tidak dapat melakukan penyelesaian automatik tanpa perbualan aktif.","localConversation.merge.autoResolveMerge.request":"Selesaikan konflik percantuman secara automatik","localConversation.modelChanged":"Model diubah daripada {fromModel} kepada {toModel}.","localConversation.modelChanged.warning.line1":"Pengubahan model semasa perbualan akan mengurangkan prestasi.","localConversation.modelChanged.warning.line2":"Konteks boleh dipadatkan secara automatik.","localConversation.moveThread.createBranch.label":"Cipta cawangan","localConversation.moveToLocal.disabled.loading":"Memuatkan…","localConversation.moveToLocal.modal.continue":"Teruskan","localConversation.moveToLocal.modal.destinationLabel":"Alihkan kepada","localConversation.moveToLocal.modal.retry":"Cuba semula","localConversation.moveToWorktree.modal.back":"Kembali","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Cabang sudah wujud.","localConversation.moveToWorktree.modal.branchesError":"Tidak dapat memuatkan cawangan","localConversation.moveToWorktree.modal.branchesLoading":"Sedang memuatkan cabang…","localConversation.moveToWorktree.modal.branchesRetry":"Cuba semula","localConversation.moveToWorktree.modal.continue":"Teruskan","localConversation.moveToWorktree.modal.retry":"Cuba semula","localConversation.moveToWorktree.modal.trailingSlashError":"Nama cabang tidak boleh berakhir dengan “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"cabang baharu","localConversation.personalityChanged":"Telah beralih kepada personaliti {personality}","localConversation.planSummary.collapse":"Runtuhkan ringkasan pelan","localConversation.planSummary.collapseTooltip":"Runtuh","localConversation.planSummary.download":"Muat turun pelan","localConversation.planSummary.expand":"Kembangkan ringkasan pelan","localConversation.planSummary.expandTooltip":"Kembangkan","localConversation.planSummary.openInNewWindow":"Buka","localConversation.planSummary.openInNewWindow.tooltip":"Buka dalam tetingkap baharu","localConversation.planSummary.title":"Pelan","localConversation.planSummary.titleWriting":"Rancangan penulisan","localConversation.planSummary.viewPlan":"Kembangkan pelan","localConversation.remoteTaskCreated":"Telah mencipta {taskLink} dalam Codex Cloud","localConversation.remoteTaskCreated.task":"tugas","localConversation.scrollToBottomButton":"Tatal ke bawah","localConversation.sync.buttonLabel":"Serahkan kepada setempat","localConversation.sync.buttonLabel.tooltip":"Serahkan perubahan antara organisasi kerja ini dengan direktori kerja setempat anda.","localConversation.sync.modal.loading.title":"Sedang menyerahkan perubahan…","localConversation.sync.modal.noChanges":"Tiada perubahan","localConversation.syncSetup.branchAriaLabel":"Nama cawangan","localConversation.syncSetup.branchName":"Nama cawangan","localConversation.syncSetup.branchPlaceholder.existing":"Pilih cabang sedia ada","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Sedang memuatkan cabang…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Sudah dialihkan","localConversation.syncSetup.checkoutClean":"Berada pada {branchName} pada masa ini","localConversation.syncSetup.checkoutDirty":"Berada pada {branchName} pada masa ini dengan perubahan yang tidak dilaksanakan","localConversation.syncSetup.checkoutError":"Gagal beralih kepada cabang: {message}","localConversation.syncSetup.checkoutLabel":"Beralih secara setempat sekarang","localConversation.syncSetup.checkoutOnLocal":"Serahkan kepada setempat","localConversation.syncSetup.checkoutPending":"Sedang menyemak status setempat…","localConversation.syncSetup.checkoutUnavailable":"Ruang kerja setempat tidak tersedia","localConversation.syncSetup.checkoutUnknown":"Cabang setempat tidak tersedia","localConversation.syncSetup.continue":"Teruskan","localConversation.syncSetup.createBranchError":"Gagal menetapkan cabang penyerahan: {message}","localConversation.syncSetup.error":"Ada sesuatu yang tidak kena: {message}","localConversation.syncSetup.error.workingTreeMissing":"Tidak dapat menangkap gambar direktori kerja. Sila cuba serahkan semula.","localConversation.syncSetup.mode.ariaLabel":"Pilih mod cabang","localConversation.syncSetup.mode.existing":"Cabang sedia ada","localConversation.syncSetup.mode.new":"Cabang baharu","localConversation.syncSetup.noBranches":"Tiada cabang ditemukan","localConversation.syncSetup.overwriteError":"Cabang telah dibuat tetapi tidak diserahkan sepenuhnya. Buat penyerahan manual sebelum beralih secara setempat.","localConversation.syncSetup.setPrefix":"Tetapkan awalan","localConversation.syncSetup.subtitle":"Uji dan edit perubahan direktori kerja secara setempat. <a>Ketahui lebih lanjut</a>","localConversation.syncSetup.success.checkedOut":"Cabang telah dicipta dan digunakan secara setempat","localConversation.syncSetup.success.notCheckedOut":"Cabang dicipta","localConversation.syncSetup.title":"Serahkan kepada cabang setempat","localConversation.syncWorktreeError.branchAriaLabel":"Nama cawangan","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Pilih cabang untuk diserahkan, kemudian cuba memuatkan perubahan semula.","localConversation.syncWorktreeError.branchSetup.title":"Kemas kinikan cawangan","localConversation.syncWorktreeError.branchUpdate.cta":"Kemas kinikan dan cuba semula","localConversation.syncWorktreeError.branchUpdate.error":"Gagal mengemaskinikan cabang: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Ada sesuatu yang tidak kena: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Cabang tidak beralih dalam mana-mana direktori kerja.","localConversation.syncWorktreeV2.applyUncommitted":"Gunakan","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Anda perlu beralih cabang secara setempat untuk menggunakan perubahan yang tidak dilaksanakan","localConversation.syncWorktreeV2.branches.empty":"Tiada cabang ditemukan","localConversation.syncWorktreeV2.branches.loading":"Sedang memuatkan cabang…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Ubah cabang penyerahan","localConversation.syncWorktreeV2.changeBranch.error":"Gagal mengubah cabang penyerahan: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Penggunaan gagal","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Tulis ganti direktori kerja gagal","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Tulis ganti setempat gagal","localConversation.syncWorktreeV2.commandError.back":"Kembali","localConversation.syncWorktreeV2.commandError.body":"Perintah git gagal semasa penyerahan. Semak output dan cuba semula.","localConversation.syncWorktreeV2.commandError.retry":"Cuba semula","localConversation.syncWorktreeV2.description":"Penyerahan berubah antara setempat dengan direktori kerja ini <a>Ketahui lebih lanjut</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Pilih arah penyerahan","localConversation.syncWorktreeV2.error.generic":"Ada sesuatu yang tidak kena semasa penyerahan. Cuba lagi.","localConversation.syncWorktreeV2.localBranchLabel":"Setempat","localConversation.syncWorktreeV2.noChanges":"Sedang mengira perubahan","localConversation.syncWorktreeV2.noChanges.summary":"Tiada perubahan","localConversation.syncWorktreeV2.overwrite.local":"Tulis ganti setempat","localConversation.syncWorktreeV2.overwrite.worktree":"Tulis ganti direktori kerja","localConversation.syncWorktreeV2.partial.action.applyFailed":"Tidak dapat menggunakan perubahan","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Tidak dapat menulis ganti perubahan setempat","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Tidak dapat menulis ganti perubahan direktori kerja","localConversation.syncWorktreeV2.partial.appliedLabel":"Digunakan","localConversation.syncWorktreeV2.partial.back":"Kembali","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Selesaikan konflik dan cuba lagi.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflik","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# fail}}","localConversation.syncWorktreeV2.partial.retry":"Cuba semula","localConversation.syncWorktreeV2.partial.skippedLabel":"Dilangkau","localConversation.syncWorktreeV2.stateFailed.generic":"Ada sesuatu yang tidak kena semasa mendapatkan perubahan direktori kerja untuk diserahkan. Sila cuba lagi.","localConversation.syncWorktreeV2.stateFailed.title":"Gagal memuatkan perubahan direktori kerja","localConversation.syncWorktreeV2.statusError.diffUnknown":"Gagal memuatkan perubahan direktori kerja.","localConversation.syncWorktreeV2.statusError.retry":"Cuba semula","localConversation.syncWorktreeV2.statusError.title":"Tidak dapat memuatkan perubahan cabang setempat","localConversation.syncWorktreeV2.statusError.unknown":"Status cabang tidak tersedia sekarang. Cuba lagi.","localConversation.syncWorktreeV2.success.apply":"Berjaya menggunakan perubahan","localConversation.syncWorktreeV2.success.overwrite":"Penyerahan berjaya","localConversation.syncWorktreeV2.title":"Perubahan penyerahan","localConversation.syncWorktreeV2.worktreeLabel":"Organisasi pekerjaan","localConversation.userInputRequest.inProgress":"Menanyakan {count, plural, other {soalan}}","localConversation.userInputRequest.noAnswer":"Tiada jawapan diberikan","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Ditanya","localConversation.userInputRequest.summary.count":"{count, plural, other {# soalan}}","localConversation.workedFor":"Berfungsi selama {time}","localConversation.worktreeBranchSetup.action.create":"Cipta","localConversation.worktreeBranchSetup.branchAriaLabel":"Nama cawangan","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Cipta cawangan baharu","localConversation.worktreeBranchSetup.checkoutDisabled":"Cabang ini sudah beralih pada {location}","localConversation.worktreeBranchSetup.checkoutError":"Gagal beralih kepada cabang: {message}","localConversation.worktreeBranchSetup.createBranchError":"Gagal menetapkan cabang: {message}","localConversation.worktreeBranchSetup.error":"Ada sesuatu yang tidak kena: {message}","localConversation.worktreeBranchSetup.subtitle":"Cipta cabang untuk melaksanakan perubahan, penolakan, dan mencipta PR daripada direktori kerja ini. <a>Ketahui lebih lanjut</a>","localConversation.worktreeBranchSetup.title":"Buat kerja di sini","localConversationPage.addWorktreeToSidebar.tooltip":"Simpan sebagai projek supaya anda boleh memulakan urutan baharu daripada direktori kerja ini","localConversationPage.addWorktreeToSidebarError":"Gagal menambahkan projek","localConversationPage.commitAndCreatePrModal.errorTitle":"Pelaksanaan dan penciptaan PR gagal","localConversationPage.commitAndCreatePrModal.successTitle":"PR telah dilaksanakan dan dicipta","localConversationPage.commitAndPushModal.errorTitle":"Pelaksanaan dan penolakan gagal","localConversationPage.commitAndPushModal.successTitle":"Perubahan telah dilaksanakan dan ditolak","localConversationPage.commitCreatePr.open":"Buka permintaan pengeluaran","localConversationPage.commitCreatePr.successTitle":"PR dicipta dengan perubahan terkini anda","localConversationPage.createBranchButtonLabel":"Cabang di sini","localConversationPage.createPrModal.baseBranch":"Asas","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Cipta PR","localConversationPage.createPrModal.createDescription":"Buka permintaan tarik untuk perubahan terkini anda.","localConversationPage.createPrModal.errorTitle":"Permintaan tarik gagal","localConversationPage.createPrModal.headBranch":"Utama","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Buka PR","localConversationPage.createPrModal.successTitle":"Permintaan tarik dicipta","localConversationPage.createPrModal.title":"Cipta permintaan tarik","localConversationPage.createPrModal.viewDescription":"Permintaan tarik sudah wujud untuk cawangan ini.","localConversationPage.createPrModal.viewTitle":"Permintaan tarik sudah sedia","localConversationPage.createPullRequestAuthGh":"Sahkan CLI GitHub: jalankan `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Maklumat cawangan tidak tersedia","localConversationPage.createPullRequestButtonLabel":"Cipta PR","localConversationPage.createPullRequestButtonLabel.loading":"Sedang mencipta PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Maklumat cawangan lalai tidak tersedia","localConversationPage.createPullRequestError":"Gagal mencipta permintaan tarik","localConversationPage.createPullRequestExistingPullRequest":"Permintaan tarik sudah wujud untuk cawangan ini","localConversationPage.createPullRequestGhStatusMissing":"Sedang memuatkan status CLI GitHub…","localConversationPage.createPullRequestInstallGh":"Pasang CLI GitHub (gh) untuk mencipta PR","localConversationPage.createPullRequestNoRepo":"Tiada wadah git ditemukan","localConversationPage.createPullRequestPushStatusMissing":"Sedang memuatkan status tolak…","localConversationPage.createPullRequestSetUpstream":"Tolak cawangan ini sebelum mencipta PR","localConversationPage.createPullRequestSuccessToast":"Permintaan tarik dicipta","localConversationPage.createPullRequestSwitchBranch":"Bayar dan keluar cawangan ciri sebelum mencipta PR","localConversationPage.error.render":"Ralat semasa memaparkan perbualan setempat","localConversationPage.error.toast":"Perbualan tidak ditemukan","localConversationPage.forcePushError":"Gagal memaksa tolak","localConversationPage.generatePullRequestMessageError":"Gagal menjana tajuk dan kandungan permintaan tarik","localConversationPage.generatePullRequestMessageFailed":"Gagal menjana tajuk dan kandungan permintaan tarik.","localConversationPage.gitActionResult.branch":"Cawangan","localConversationPage.gitActionResult.cancel":"Batal","localConversationPage.gitActionResult.close":"Tutup","localConversationPage.gitActionResult.tryAgain":"Cuba lagi","localConversationPage.gitActions":"Tindakan Git","localConversationPage.newChat":"Sembang baharu","localConversationPage.openInTarget":"Buka dalam","localConversationPage.openPrimaryTarget":"Buka","localConversationPage.planItemsCompleted":"{completedItems} daripada {totalItems, plural, other {# tugasan selesai}}","localConversationPage.pushAuthError":"Penolakan gagal: pengesahan diperlukan","localConversationPage.pushBranchMissing":"Maklumat cawangan tidak tersedia","localConversationPage.pushButtonLabel":"Tolak","localConversationPage.pushButtonLabel.loading":"Sedang menolak…","localConversationPage.pushError":"Gagal menolak perubahan","localConversationPage.pushModal.branchLabel":"Cawangan","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Batal","localConversationPage.pushModal.confirm":"Tolak","localConversationPage.pushModal.description":"Tolak pelaksanaan terkini anda kepada wadah jarak jauh.","localConversationPage.pushModal.errorTitle":"Penolakan gagal","localConversationPage.pushModal.forcePush":"Paksa tolak","localConversationPage.pushModal.successTitle":"Tolak selesai","localConversationPage.pushModal.title":"Perubahan tolak","localConversationPage.pushModal.tryAgain":"Cuba lagi","localConversationPage.pushNoUpstream":"Tetapkan wadah pusat sebelum menolak cawangan ini","localConversationPage.pushNoUpstreamError":"Penolakan gagal: tiada wadah pusat dikonfigurasikan","localConversationPage.pushNothingToPush":"Tiada pelaksanaan baharu untuk ditolak","localConversationPage.pushRemoteChangedError":"Penolakan gagal: wadah jarak jauh memiliki pelaksanaan baharu","localConversationPage.pushRemoteRejectedError":"Penolakan ditolak oleh wadah jarak jauh","localConversationPage.pushStatusMissing":"Sedang memuatkan status tolak…","localConversationPage.pushSuccessToast":"Perubahan yang ditolak","localConversationPage.viewPullRequestButtonLabel":"Lihat PR","localConversationPage.viewPullRequestButtonLabel.loading":"Sedang memuatkan permintaan tarik…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# fail}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# senarai}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# carian}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Meneroka","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Diterokai","localConversationTurn.exploration.accordion.header.complete.withCounts":"Telah menerokai {counts}","localConversationTurnStory.showContent":"Tunjukkan kandungan","localConversationTurnStory.streamContent":"Strim kandungan","localConversationTurnStory.toggleReasoning":"Tunjukkan penaakulan","localTaskRow.archiveError":"Gagal mengarkibkan perbualan","localTaskRow.resumeError":"Gagal menyambung semua tugas","mermaidDiagram.ariaLabel":"Diagram duyung","mermaidDiagram.copySource":"Salin ikan duyung","mermaidDiagram.originalCode":"Kod sumber duyung","notifications.permissions.description":"Tunjukkan makluman apabila kebenaran pemberitahuan diperlukan","notifications.permissions.label":"Dayakan pemberitahuan kebenaran","notifications.turnMode.always":"Sentiasa","notifications.turnMode.description":"Tetapkan apabila Codex memaklumi anda bahawa tugas Codex selesai","notifications.turnMode.label":"Pemberitahuan pelengkapan pusingan","notifications.turnMode.off":"Tidak pernah","notifications.turnMode.unfocused":"Hanya apabila tidak difokuskan","patchApprovalRequest.approve":"Luluskan","patchApprovalRequest.menu.allowAlways":"Ya, dan jangan tanya sesi ini lagi","patchApprovalRequest.menu.allowForSession":"Ya, dan jangan tanya sesi ini lagi","patchApprovalRequest.menu.allowOnce":"Ya","patchApprovalRequest.prompt":"Adakah anda ingin membuat perubahan ini?","patchApprovalRequest.reject":"Tidak","patchApprovalRequest.waitingForApproval":"Tunggu kelulusan untuk mengedit fail","pendingRequest.approvalExec.collapse":"Runtuh","pendingRequest.approvalExec.expand":"Kembangkan","pendingRequestStory.toastAnswer":"Jawapan: {answer}","pendingRequestStory.toastApprovalTitle":"Respons kelulusan","pendingRequestStory.toastFollowupPrompt":"Gesaan: {prompt}","pendingRequestStory.toastFollowupTitle":"Susulan dihantar","pendingRequestStory.toastNoAnswers":"Tiada jawapan diberikan","pendingRequestStory.toastQuestion":"Soalan: {question}","pendingRequestStory.toastUnknownDecision":"Tidak diketahui","pendingRequestStory.toastUserInputTitle":"Jawapan yang diserahkan","quickAction.request.codeReview.branches.new":"Sila semak perubahan pada {from} terhadap {to}","quickAction.request.codeReview.uncommitted.new":"Sila semak perubahan saya yang tidak dilaksanakan","reasoningItem.thinking":"Berfikir","reasoningItem.thought":"Telah berfikir","reasoningItem.thoughtWithElapsed":"Pendapat untuk {elapsed}","recentConversations.title":"Perbualan Terbaharu","recentTasks.worktreeInitFailedTitle":"Init organisasi kerja gagal","recentTasks.worktreeSettingUpTitle":"Menyediaka organisasi kerja","requestInputPanel.continue":"Teruskan","requestInputPanel.dismiss":"Ketepikan","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Taip di sini","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Tidak, dan beritahu Codex perkara yang perlu dilakukan dengan cara lain","requestInputPanel.selectedBadge":"Dipilih","requestInputPanel.skip":"Langkau","requestInputPanel.submit":"Serahkan","review.commit.ariaLabel.includeUnstaged":"Termasuk yang tidak dipamerkan","review.commit.buttonLabel":"Pelaksanaan","review.commit.disabled.committing":"Sedang melaksanakan…","review.commit.disabled.loadingDiff":"Memuatkan perbezaan…","review.commit.disabled.missingContext":"Tambahkan beberapa konteks untuk menjana mesej pelaksanaan","review.commit.disabled.noChanges":"Tiada perubahan untuk dilaksanakan","review.commit.disabled.noSelection":"Pilih perubahan untuk dilaksanakan","review.commit.disabled.unavailable":"Pelaksanaan tidak tersedia sekarang","review.commit.error":"Gagal melaksanakan perubahan","review.commit.form.changesToBeCommitted":"Perubahan","review.commit.form.commitTo":"Cawangan","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Teruskan","review.commit.form.title":"Laksanakan perubahan anda","review.commit.generate.emptyResponse":"Tidak dapat menjana mesej pelaksanaan.","review.commit.generate.failed":"Gagal menjana mesej pelaksanaan: {error}","review.commit.generate.missingPrompt":"Tambahkan beberapa konteks untuk menjana mesej pelaksanaan.","review.commit.includeUnstaged":"Termasuk yang tidak dipamerkan","review.commit.loading.description":"Harap bersabar, proses ini mungkin mengambil sedikit masa…","review.commit.loading.step.commit.done":"Perubahan yang dilaksanakan","review.commit.loading.step.commit.pending":"Melakukan perubahan","review.commit.loading.step.createPr.done":"Permintaan tarik dicipta","review.commit.loading.step.createPr.pending":"Sedang mencipta permintaan tarik","review.commit.loading.step.push.done":"Ditolak pada cawangan {branch}","review.commit.loading.step.push.pending":"Sedang menolak kepada cawangan {branch}","review.commit.loading.title.commit":"Melakukan perubahan","review.commit.loading.title.createPr":"Mencipta PR","review.commit.loading.title.push":"Sedang menolak perubahan","review.commit.messageLabel":"Mesej pelaksanaan","review.commit.messagePlaceholder":"Biarkan kosong untuk menjana mesej pelaksanaan automatik","review.commit.nextSteps":"Langkah seterusnya","review.commit.nextSteps.commit":"Pelaksanaan","review.commit.nextSteps.commitAndCreate":"Laksanakan dan cipta PR","review.commit.nextSteps.commitAndPush":"Laksanakan dan tolak","review.commit.nextSteps.prRequiresGh":"Memerlukan CLI GitHub: {command}","review.commit.rows.changes":"Perubahan","review.commit.rows.commitCount":"{count, plural, other {# pelaksanaan}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# pelaksanaan}} dan {stats}","review.commit.rows.fileCount":"{count, plural, other {# fail}}","review.commit.state.error.body":"Ada sesuatu yang tidak kena semasa pelaksanaan. Semak status git anda dan cuba lagi.","review.commit.state.error.title":"Pelaksanaan gagal","review.commit.state.success.title":"Perubahan dilaksanakan","review.commit.untracked.loadingStats":"Sedang memuatkan statistik perbezaan yang tidak dijejaki…","reviewFindingAttachments.count":"{count, plural, other {# penemuan}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Edit konfigurasi anda untuk menyesuaikan tingkah laku ejen","settings.agent.configuration.configToml.docs":"Dokumen","settings.agent.configuration.subtitle":"Tetapan ini digunakan pada mana-mana bahagian yang menggunakan Codex","settings.automations.banner.danger":"Automasi dijalankan dengan tetapan sandbox lalai anda, yang ditetapkan kepada Akses Penuh pada masa ini. Pelaksanaan automasi latar belakang dengan Akses Penuh mendatangkan peningkatan risiko, kerana Codex boleh mengubah suai fail, menjalankan perintah, dan mengakses rangkaian tanpa diminta. Pertimbangkan untuk mengemaskinikan tetapan sandbox agar mendapat kebenaran untuk mengedit ruang kerja, dan menggunakan <rulesDocsLink>peraturan</rulesDocsLink> untuk menentukan perintah yang boleh dijalankan oleh ejen secara selektif dengan akses penuh.","settings.automations.banner.defaultHowTo.default":"Automasi dijalankan menggunakan tetapan sandbox lalai anda. Panggilan alat akan gagal jika panggilan alat perlu mengubah suai fail di luar ruang kerja, mengakses rangkaian, atau bekerja menggunakan apl pada komputer anda. Anda boleh membuat senarai dibenarkan perintah secara selektif agar dijalankan di luar sandbox menggunakan <rulesDocsLink>peraturan</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automasi dijalankan dengan tetapan sandbox lalai anda, yang ditetapkan kepada baca sahaja. Panggilan alat akan gagal jika panggilan alat perlu mengubah suai fail, mengakses rangkaian, atau bekerja menggunakan apl pada komputer anda. Pertimbangkan untuk mengemaskinikan tetapan sandbox agar mendapat kebenaran untuk mengedit ruang kerja.","settings.automations.cancel":"Batal","settings.automations.create":"Cipta","settings.automations.cwdEmpty":"Tiada folder projek tersedia","settings.automations.cwdLabel":"Projek","settings.automations.cwdPlaceholder":"Pilih folder","settings.automations.cwdSubtitle":"Jika anda ingin automasi dijalankan pada cabang tertentu, anda boleh menyatakan perkara itu dalam gesaan anda.","settings.automations.delete":"Padam","settings.automations.dialog.editTitle":"Edit automasi","settings.automations.dialog.newTitle":"Automasi baharu","settings.automations.dialog.subtitle":"Automasikan tugasan berulang pada latar belakang. Codex menambahkan penemuan pada peti masuk, atau mengarkibkan tugas secara automatik jika tiada apa-apa untuk dilaporkan. <learnMoreLink>Ketahui lebih lanjut</learnMoreLink>","settings.automations.dialog.title":"Cipta automasi","settings.automations.executionCopy.git":"Automasi dijalankan pada latar belakang dalam direktori kerja khusus.","settings.automations.executionCopy.nonGit":"Automasi dalam projek yang tidak diurus oleh kawalan versi dijalankan secara terus dalam direktori projek. Pertimbangkan penggunaan Git untuk mendayakan pelaksanaan pada direktori kerja latar belakang.","settings.automations.executionEnvironment.local":"Setempat","settings.automations.executionEnvironment.worktree":"Organisasi pekerjaan","settings.automations.loading":"Memuatkan…","settings.automations.nameLabel":"Nama","settings.automations.namePlaceholder":"Semak masalah sentri","settings.automations.pause":"Jeda","settings.automations.promptLabel":"Gesaan","settings.automations.promptPlaceholder":"cari ranap dalam $Sentry","settings.automations.resume":"Sambung semula","settings.automations.rruleSummaryFallback":"Jadual tersuai","settings.automations.runNow":"Ujian","settings.automations.save":"Simpan","settings.automations.scheduleBadge.dayCount":"{count}h","settings.automations.scheduleBadge.interval":"{count}j","settings.automations.scheduleBadge.weekdays":"Hari bekerja","settings.automations.scheduleBadge.weekends":"Hari minggu","settings.automations.scheduleHeader":"Jadual","settings.automations.scheduleHours":"jam","settings.automations.scheduleLabel":"Jalankan setiap","settings.automations.scheduleMode.daily":"Setiap hari","settings.automations.scheduleMode.interval":"Selang","settings.automations.scheduleModeLabel":"Jenis jadual","settings.automations.scheduleSummary.daily":"Setiap hari pukul {time}","settings.automations.scheduleSummary.interval":"Setiap {count}j","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# hari}}","settings.automations.scheduleSummary.intervalDays":"{interval} pada {days}","settings.automations.scheduleSummary.intervalHourly":"Setiap jam","settings.automations.scheduleSummary.singleDay":"{day} pukul {time}","settings.automations.scheduleSummary.weekdays":"Hari bekerja pada {time}","settings.automations.scheduleSummary.weekdaysLabel":"hari bekerja","settings.automations.scheduleSummary.weekends":"Hari minggu pada {time}","settings.automations.scheduleSummary.weekendsLabel":"hari minggu","settings.automations.scheduleSummary.weekly":"{days} pukul {time}","settings.automations.scheduleWeekdays":"Dihidupkan","settings.automations.weekdayState.excluded":"Dikecualikan","settings.automations.weekdayState.included":"Disertakan","settings.conversationDetail.steps":"Langkah","settings.conversationDetail.steps.description":"Sembunyikan perintah dan output","settings.conversationDetail.stepsWithCommands":"Langkah dengan perintah kod","settings.conversationDetail.stepsWithCommands.description":"Tunjukkan perintah, runtuhkan output","settings.conversationDetail.stepsWithOutput":"Langkah dengan output kod","settings.conversationDetail.stepsWithOutput.description":"Tunjukkan perintah dan kembangkan output","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Tiada sembang yang diarkibkan.","settings.dataControls.archivedChats.error":"Tidak dapat memuatkan sembang yang diarkibkan.","settings.dataControls.archivedChats.loading":"Sedang memuatkan sembang yang diarkibkan…","settings.dataControls.archivedChats.unarchive":"Nyaharkib","settings.dataControls.archivedChats.unarchiveError":"Gagal menyaharkibkan sembang","settings.dataControls.archivedChats.unarchiveSuccess":"Urutan yang dinyaharkibkan. <viewNowLink>Lihat sekarang</viewNowLink>","settings.dataControls.archivedChats.untitled":"Sembang tanpa tajuk","settings.editRow.headerPlaceholder":"Kunci","settings.editRow.removeEntry":"Alih keluar entri","settings.editRow.valuePlaceholder":"Nilai","settings.general.appearance":"Penampilan","settings.general.appearance.codeFont":"Fon kod","settings.general.appearance.codeFont.description":"Laraskan fon dan saiz yang digunakan untuk kod merentas sembang dan perbezaan","settings.general.appearance.codeFontFamily":"Keluarga fon kod","settings.general.appearance.codeFontSize":"Saiz fon kod","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Buat Windows menggunakan latar belakang padu berbanding dengan kelutcahayaan sistem","settings.general.appearance.opaqueWindows.label":"Gunakan latar belakang tetingkap legap","settings.general.appearance.sansFontFamily":"Keluarga fon Sans","settings.general.appearance.sansFontFamily.description":"Laraskan fon yang digunakan untuk UI Codex","settings.general.appearance.sansFontSize":"Saiz fon Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Tunjukkan kesan keraian dalam tetingkap penuh sementara GPT-5.3-Codex-Spark dijalankan pada pusingan pertama","settings.general.appearance.sparkCelebrationEffects.label":"Cetus kesan keraian","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Gelap","settings.general.appearance.theme.description":"Gunakan cerah, gelap, atau dipadankan dengan sistem anda","settings.general.appearance.theme.light":"Cerah","settings.general.appearance.theme.system":"Sistem","settings.general.appearance.usePointerCursors.description":"Ubah kursor kepada pointer apabila menuding pada elemen interaktif","settings.general.appearance.usePointerCursors.label":"Gunakan kursor pointer","settings.general.enterBehavior.description":"Apabila didayakan, gesaan berbilang baris memerlukan {modifierSymbol} + enter untuk dihantar.","settings.general.enterBehavior.label":"Memerlukan {modifierSymbol} + enter untuk menghantar gesaan yang panjang","settings.general.experimentalFeatures":"Ciri eksperimental (Beta)","settings.general.experimentalFeatures.empty":"Tiada ciri eksperimental beta tersedia.","settings.general.experimentalFeatures.loading":"Sedang memuatkan ciri eksperimental…","settings.general.experimentalFeatures.restartNote":"Mulakan semula Codex untuk menerapkan perubahan ciri eksperimental","settings.general.experimentalFeatures.toggle":"Togol {featureName}","settings.general.followUpQueueMode.description":"Memasuki baris gilir untuk susulan sementara Codex menjalankan atau mengganggu pelaksanaan semasa","settings.general.followUpQueueMode.interrupt":"Perincikan","settings.general.followUpQueueMode.label":"Gelagat susulan","settings.general.followUpQueueMode.queue":"Baris gilir","settings.general.notifications":"Pemberitahuan","settings.general.power.preventSleepWhileRunning.description":"Pastikan komputer anda tetap berjaga semasa Codex menjalankan urutan.","settings.general.power.preventSleepWhileRunning.label":"Elakkan tidur semasa proses berjalan","settings.git.branchPrefix.ariaLabel":"Awalan cabang","settings.git.branchPrefix.description":"Awalan digunakan apabila mencipta cabang baharu dalam Codex","settings.git.branchPrefix.label":"Awalan cabang","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Gagal menyimpan awalan cabang","settings.git.branchPrefix.save.success":"Awalan cabang yang disimpan","settings.git.commitInstructions.ariaLabel":"Arahan pelaksanaan","settings.git.commitInstructions.description":"Ditambahkan pada gesaan penjanaan mesej pelaksanaan","settings.git.commitInstructions.label":"Arahan pelaksanaan","settings.git.commitInstructions.placeholder":"Tambahkan panduan mesej pelaksanaan…","settings.git.commitInstructions.save":"Simpan","settings.git.commitInstructions.save.error":"Gagal menyimpan arahan pelaksanaan","settings.git.commitInstructions.save.success":"Arahan pelaksanaan disimpan","settings.git.forcePush.ariaLabel":"Sentiasa paksa tolak","settings.git.forcePush.description":"Gunakan --force-with-lease apabila menolak daripada Codex","settings.git.forcePush.label":"Sentiasa paksa tolak","settings.git.forcePush.save.disabled":"Sentiasa paksa tolak dinyahdayakan","settings.git.forcePush.save.enabled":"Sentiasa paksa tolak didayakan","settings.git.forcePush.save.error":"Gagal menyimpan tetapan paksa tolak","settings.git.prInstructions.ariaLabel":"Arahan permintaan tarik","settings.git.prInstructions.description":"Lampirkan pada kandungan permintaan tarik yang dicipta oleh Codex","settings.git.prInstructions.label":"Arahan permintaan tarik","settings.git.prInstructions.placeholder":"Tambah panduan permintaan tarik…","settings.git.prInstructions.save":"Simpan","settings.git.prInstructions.save.error":"Gagal menyimpan arahan permintaan tarik","settings.git.prInstructions.save.success":"Arahan permintaan tarik disimpan","settings.ide.defaultOpenTarget.description":"Tempat fail dan folder dibuka secara lalai","settings.ide.defaultOpenTarget.label":"Destinasi buka lalai","settings.ide.defaultOpenTarget.placeholder":"Tiada sasaran ditemukan","settings.ide.language.auto":"Autokesan","settings.ide.language.autoOption":"Autokesan","settings.ide.language.description":"Bahasa untuk UI apl","settings.ide.language.label":"Bahasa","settings.ide.language.search":"Cari bahasa","settings.layout.actionButton":"Mulakan semula sambungan","settings.layout.actionTitle":"Tetapan dengan tindakan","settings.layout.fullWidthTitle":"Tetapan (Lebar penuh)","settings.layout.title":"Tetapan","settings.localEnvironments.actions.add":"Tambah tindakan","settings.localEnvironments.actions.add.description":"Cipta perintah baharu untuk dijalankan daripada bar alat.","settings.localEnvironments.actions.add.save":"Simpan","settings.localEnvironments.actions.empty":"Tambah tindakan untuk menjalankan perintah daripada bar alat setempat.","settings.localEnvironments.actions.icon.debug":"Nyahpepijat","settings.localEnvironments.actions.icon.run":"Jalankan","settings.localEnvironments.actions.icon.test":"Ujian","settings.localEnvironments.actions.icon.tool":"Alat","settings.localEnvironments.actions.item.button.delete":"Padam","settings.localEnvironments.actions.item.command":"Skrip tindakan","settings.localEnvironments.actions.item.name":"Nama","settings.localEnvironments.actions.item.platforms":"Platform","settings.localEnvironments.actions.item.platforms.help":"Hanya dijalankan pada OS tertentu.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Pemilihan platform","settings.localEnvironments.actions.item.platforms.specific":"Khusus platform","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Padam","settings.localEnvironments.actions.title":"Tindakan","settings.localEnvironments.breadcrumb.back":"Kembali","settings.localEnvironments.breadcrumb.edit":"edit","settings.localEnvironments.breadcrumb.root":"Persekitaran","settings.localEnvironments.environment.actions.description":"Tindakan ini boleh menjalankan sebarang perintah dan akan dipaparkan dalam pengepala.","settings.localEnvironments.environment.actionsLabel":"Tindakan","settings.localEnvironments.environment.create":"Cipta persekitaran setempat","settings.localEnvironments.environment.defaultName":"setempat","settings.localEnvironments.environment.edit":"Edit persekitaran setempat","settings.localEnvironments.environment.empty":"Tiada persekitaran setempat dikonfigurasikan untuk projek ini lagi.","settings.localEnvironments.environment.name":"Nama","settings.localEnvironments.environment.setup":"Skrip persediaan","settings.localEnvironments.environment.setup.description":"Skrip ini akan dijalankan pada penciptaan organisasi pekerjaan.","settings.localEnvironments.environment.setup.hint":"Dijalankan dalam akar projek.","settings.localEnvironments.environment.setup.platformOverrides":"Penggantian platform","settings.localEnvironments.environment.setup.platformOverrides.add":"Tambahkan {platform} skrip persediaan","settings.localEnvironments.environment.setup.platformOverrides.description":"Gantikan skrip lalai untuk OS tertentu.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Alih keluar","settings.localEnvironments.environment.setup.script":"Skrip","settings.localEnvironments.environment.title":"Butiran persekitaran","settings.localEnvironments.file.missing":"Simpan untuk mencipta fail ini untuk kali pertama.","settings.localEnvironments.file.parseError":"Tidak dapat menghuraikan fail sedia ada. Tindakan menyimpan akan menggantikan fail tersebut. ({error})","settings.localEnvironments.file.path":"Fail: {path}","settings.localEnvironments.file.readError":"Gagal memuatkan data persekitaran setempat. ({error})","settings.localEnvironments.file.title":"Fail persekitaran setempat","settings.localEnvironments.loading.body":"Sedang mengambil konfigurasi projek anda.","settings.localEnvironments.loading.title":"Memuatkan persekitaran setempat","settings.localEnvironments.preview.devOnly":"(PEMBANGUN sahaja)","settings.localEnvironments.preview.save":"Simpan","settings.localEnvironments.preview.saveError":"Gagal menyimpan fail. ({error})","settings.localEnvironments.preview.title":"Pratonton","settings.localEnvironments.save.disabled.name":"Tambahkan nama persekitaran untuk disimpan.","settings.localEnvironments.save.disabled.noChanges":"Tiada perubahan untuk disimpan.","settings.localEnvironments.save.disabled.saving":"Menyimpan…","settings.localEnvironments.save.success":"Persekitaran setempat yang disimpan","settings.localEnvironments.unavailable.body":"Kami tidak dapat memuatkan tetapan persekitaran setempat untuk projek ini.","settings.localEnvironments.unavailable.title":"Persekitaran setempat tidak tersedia","settings.localEnvironments.workspace.add":"Tambah projek","settings.localEnvironments.workspace.title":"Projek","settings.localEnvironments.workspaceSelect.addLabel":"Tambah persekitaran","settings.localEnvironments.workspaceSelect.description":"Persekitaran setempat memberitahu Codex cara menyediakan direktori kerja untuk projek. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Belum ada projek lagi. Tambahkan projek untuk mengkonfigurasikan persekitaran setempat.","settings.localEnvironments.workspaceSelect.errorLabel":"Persekitaran memerlukan perhatian","settings.localEnvironments.workspaceSelect.learnMore":"Ketahui lebih lanjut","settings.localEnvironments.workspaceSelect.listLabel":"Projek yang tersedia","settings.localEnvironments.workspaceSelect.loading":"Sedang memuatkan projek.","settings.localEnvironments.workspaceSelect.loadingLabel":"Memuatkan persekitaran","settings.localEnvironments.workspaceSelect.title":"Pilih projek","settings.localEnvironments.workspaceSelect.viewAction":"Lihat","settings.mcp.addServer":"Tambahkan pelayan","settings.mcp.app.configure":"Konfigurasikan","settings.mcp.app.connect":"Sambungkan","settings.mcp.apps.refresh":"Segar semula","settings.mcp.detail.addArgument":"Tambah hujah","settings.mcp.detail.addEnvVar":"Tambah kepelbagaian persekitaran","settings.mcp.detail.addEnvVarPassthrough":"Tambah kepelbagaian","settings.mcp.detail.args":"Hujah","settings.mcp.detail.back":"Kembali","settings.mcp.detail.command":"Perintah untuk dilancarkan","settings.mcp.detail.cwd":"Direktori kerja","settings.mcp.detail.docs":"Buka dokumentasi MCP","settings.mcp.detail.docs.link":"Dokumen","settings.mcp.detail.envVarPassthrough":"Pemajuan kepelbagaian persekitaran","settings.mcp.detail.envVars":"Kepelbagaian persekitaran","settings.mcp.detail.http.addEnvHeader":"Tambah kepelbagaian","settings.mcp.detail.http.addHeader":"Tambah pengepala","settings.mcp.detail.http.bearerToken":"Pemboleh ubah persekitaran token pembawa","settings.mcp.detail.http.envHeaders":"Pengepala daripada kepelbagaian persekitaran","settings.mcp.detail.http.headers":"Pengepala","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nama","settings.mcp.detail.save":"Simpan","settings.mcp.detail.switchTransportNotice":"Jika anda ingin bertukar jenis pelayan MCP, sila nyahpasang dahulu.","settings.mcp.detail.titleExisting":"Kemas kinikan {name} MCP","settings.mcp.detail.titleNew":"Sambungkan kepada MCP tersuai","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Nyahpasang","settings.mcp.empty":"Tiada pelayan MCP tersuai disambungkan","settings.mcp.myServers":"Pelayan tersuai","settings.mcp.partnerServer.description.figma":"Jana kod yang lebih baik dengan membawakan konteks penuh Figma","settings.mcp.partnerServer.description.github":"Sepadukan dengan API GitHub untuk mengautomasikan aliran kerja dan mengekstrak data","settings.mcp.partnerServer.description.linear":"Sepadukan dengan penjejakan masalah dan pengurusan projek Linear","settings.mcp.partnerServer.description.notion":"Baca dokumen, kemas kinikan halaman, urus tugas","settings.mcp.partnerServer.description.playwright":"Sepadukan automasi pelayar untuk melaksanakan reka bentuk dan menguji UI.","settings.mcp.partnerServer.install":"Pasang","settings.mcp.partnerServer.installAndAuthenticate":"Pasang dan sahkan","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Urus","settings.mcp.partnerServer.vendor":"oleh {vendor}","settings.mcp.recommendedServers":"Pelayan yang disyorkan","settings.mcp.restartApp":"Mula semula","settings.mcp.restartExtension":"Mulakan semula sambungan","settings.mcp.server.enable":"Dayakan","settings.mcp.server.login":"Sahihkan","settings.mcp.server.settings":"Tetapan","settings.multiselect.createOption":'Cipta "{value}"',"settings.multiselect.removeOption":"Alih keluar","settings.nav.account":"Akaun","settings.nav.agent":"Konfigurasi","settings.nav.ariaLabel":"Tetapan","settings.nav.back":"Kembali kepada apl","settings.nav.data-controls":"Urutan yang diarkibkan","settings.nav.environments":"Persekitaran Awan","settings.nav.externalTooltip":"[alpha] Dibuka dalam pelayar","settings.nav.general-settings":"Am","settings.nav.git-settings":"Git","settings.nav.local-environments":"Persekitaran","settings.nav.mcp-settings":"Pelayan MCP","settings.nav.notImplemented":"[alpha] Tidak tersedia dalam Alpha","settings.nav.personalization":"Pemeribadian","settings.nav.skills-settings":"Kemahiran","settings.nav.usage-analytics":"Penggunaan & Analitis","settings.nav.worktrees":"Organisasi kerja","settings.openSourceLicenses.back":"Kembali","settings.openSourceLicenses.loading":"Memuatkan…","settings.openSourceLicenses.missing":"Tiada notis pihak ketiga ditemukan.","settings.openSourceLicenses.notSupported":"Tidak tersedia dalam hos ini.","settings.openSourceLicenses.rowDescription":"Notis pihak ketiga untuk himpunan kebergantungan","settings.openSourceLicenses.rowLabel":"Lesen sumber terbuka","settings.openSourceLicenses.subtitle":"Notis pihak ketiga untuk kebergantungan disertakan dalam apl ini","settings.openSourceLicenses.title":"Lesen sumber terbuka","settings.openSourceLicenses.view":"Lihat","settings.personalization.agents.description":"Edit arahan dengan Codex yang disesuaikan untuk anda. {learnMore}","settings.personalization.agents.learnMore":"Ketahui lebih lanjut","settings.personalization.agents.loadError":"Tidak dapat memuatkan agents.md.","settings.personalization.agents.loading":"Sedang memuatkan agents.md…","settings.personalization.agents.placeholder":"Tambahkan arahan tersuai anda…","settings.personalization.agents.retry":"Cuba semula","settings.personalization.agents.save":"Simpan","settings.personalization.agents.save.error":"Tidak dapat menyimpan agents.md","settings.personalization.agents.save.success":"agents.md telah disimpan","settings.personalization.agents.title":"Arahan tersuai","settings.personalization.personality.description":"Pilih nada lalai untuk tindak balas Codex","settings.personalization.personality.label":"Personaliti","settings.sample.contentBody":"Gunakan reka letak ini untuk membuat panel tetapan anda dengan ruang yang konsisten.","settings.sample.contentTitle":"Contoh sekatan kandungan","settings.section.account":"Akaun","settings.section.agent":"Konfigurasi","settings.section.data-controls":"Urutan yang diarkibkan","settings.section.environments":"Persekitaran Awan","settings.section.external":"Dibuka dalam pelayar anda semasa Alpha","settings.section.general-settings":"Am","settings.section.git-settings":"Git","settings.section.local-environments":"Persekitaran","settings.section.mcp-settings":"Pelayan MCP","settings.section.mcp-settings.docs":"Dokumen","settings.section.mcp-settings.subtitle":"Sambungkan alatan dan sumber data luaran.","settings.section.personalization":"Pemeribadian","settings.section.skills-settings":"Kemahiran","settings.section.unavailable":"Belum tersedia dalam Alpha","settings.section.usage-analytics":"Penggunaan & Analitis","settings.section.worktrees":"Organisasi kerja","settings.threadDetail.description":"Pilih jumlah output perintah untuk ditunjukkan dalam urutan","settings.threadDetail.label":"Butiran urutan","settings.worktrees.conversation.untitled":"Perbualan tanpa tajuk","settings.worktrees.delete.error":"Gagal memadamkan direktori kerja","settings.worktrees.empty.body":"Direktori kerja yang dicipta oleh Codex akan dipaparkan di sini.","settings.worktrees.empty.title":"Tiada direktori kerja lagi","settings.worktrees.error.body":"Ada sesuatu yang tidak kena semasa memuatkan direktori kerja.","settings.worktrees.error.retry":"Cuba semula","settings.worktrees.error.title":"Tidak dapat memuatkan direktori kerja","settings.worktrees.loading.body":"Sedang mendapatkan butiran direktori kerja.","settings.worktrees.loading.title":"Sedang memuatkan direktori kerja","settings.worktrees.repository.loading":"Sedang memuatkan metadata wadah…","settings.worktrees.repository.unknown":"Repositori tidak diketahui","settings.worktrees.row.conversations":"Perbualan","settings.worktrees.row.conversations.empty":"Tiada perbualan yang dipautkan kepada direktori kerja ini.","settings.worktrees.row.conversations.loading":"Sedang memuatkan perbualan…","settings.worktrees.row.delete":"Padam","settings.worktrees.row.title":"Organisasi pekerjaan","sidebarElectron.addWorkspaceRoot":"Tambah projek baharu","sidebarElectron.archiveThread":"Urutan arkib","sidebarElectron.archiveThreadError":"Gagal mengarkibkan urutan","sidebarElectron.collapseFolder":"Runtuhkan folder","sidebarElectron.createStableWorktree.dialog.cancel":"Batal","sidebarElectron.createStableWorktree.dialog.create":"Cipta","sidebarElectron.debugNavLink":"Nyahpepijat","sidebarElectron.editWorkspaceRootOptionName":"Edit nama","sidebarElectron.expandFolder":"Kembangkan folder","sidebarElectron.groupByMenu.recency":"Senarai kronologi","sidebarElectron.groupByMenu.title":"Susun","sidebarElectron.groupByMenu.workspace":"Mengikut projek","sidebarElectron.inboxRouteNavLink":"Automasi","sidebarElectron.markThreadUnread":"Tandai sebagai belum dibaca","sidebarElectron.missingWorkspaceRoot":"Folder projek ini telah dipadamkan atau dialih","sidebarElectron.newThread":"Urutan baharu","sidebarElectron.newThreadInGroup":"Mulakan urutan baharu dalam {folder}","sidebarElectron.noRecentThreads":"Tiada urutan terbaharu","sidebarElectron.noTasks":"Tiada urutan","sidebarElectron.noTasks.start":"Tambah projek baharu","sidebarElectron.noTasksWithFilter":"Tiada urutan sepadan dengan penapis","sidebarElectron.pinnedThreads":"Urutan yang disematkan","sidebarElectron.recentNavLink":"Urutan","sidebarElectron.recentThreads":"Urutan terbaharu","sidebarElectron.removeWorkspaceRootOption":"Alih keluar","sidebarElectron.renameThread":"Namakan semula urutan","sidebarElectron.renameThreadDialogAriaLabel":"Tajuk urutan","sidebarElectron.renameThreadDialogCancel":"Batal","sidebarElectron.renameThreadDialogPlaceholder":"Tambah tajuk…","sidebarElectron.renameThreadDialogSave":"Simpan","sidebarElectron.renameThreadDialogSubtitle":"Pastikan urutan ringkas dan mudah dikenali.","sidebarElectron.renameThreadDialogTitle":"Namakan semula urutan","sidebarElectron.renameThreadError":"Gagal menamakan semula urutan","sidebarElectron.renameWorkspaceRootOptionLabel":"Nama paparan","sidebarElectron.showLess":"Tunjuk kurang","sidebarElectron.showMenu.all":"Semua urutan","sidebarElectron.showMenu.relevant":"Relevan","sidebarElectron.showMenu.relevantHint":"Hanya tunjukkan urutan terbaharu bagi cabang, direktori kerja semasa, atau urutan lain yang memerlukan perhatian anda","sidebarElectron.showMenu.title":"Tunjukkan","sidebarElectron.showMenu.tooltip":"Tapis, isih, dan urus urutan","sidebarElectron.showMenu.trigger":"Tapis urutan bar sisi","sidebarElectron.showMore":"Tunjuk lagi","sidebarElectron.skillsRouteNavLink":"Kemahiran","sidebarElectron.sortMenu.created":"Dicipta","sidebarElectron.sortMenu.title":"Isih mengikut","sidebarElectron.sortMenu.updated":"Dikemaskinikan","sidebarElectron.taskNavigation":"Folder automasi","sidebarElectron.tasksInFolder":"Automasi dalam {folder}","sidebarElectron.workspaceOptions":"Tindakan projek untuk {folder}","sidebarElectron.worktreeGroupTooltip":"Ini ialah organisasi kerja git","skills.appsPage.createSkill":"Kemahiran baharu","skills.appsPage.empty.skills":"Tiada kemahiran ditemukan","skills.appsPage.search.skills":"Cari kemahiran","skills.appsPage.search.skills.label":"Cari kemahiran","skills.appsPage.section.installedApps":"Dipasang","skills.appsPage.section.skills":"Kemahiran","skills.appsPage.subheading":"Berikan adikuasa kepada Codex.<link>Ketahui lebih lanjut</link>","skills.appsPage.tab.recommended":"Disyorkan","skills.appsPage.tab.skills":"Kemahiran","skills.card.contentsError":"Tidak dapat memuatkan kandungan kemahiran.","skills.card.disable":"Nyahdayakan","skills.card.disableSuccess":"{skillName} kemahiran dinyahdayakan","skills.card.disabledBadge":"Dinyahdayakan","skills.card.enable":"Dayakan","skills.card.enableSuccess":"{skillName} kemahiran didayakan","skills.card.loadingContents":"Sedang memuatkan kandungan kemahiran…","skills.card.more":"Lebih banyak tindakan","skills.card.open":"Buka","skills.card.removeFailed":"Gagal menyahpasang kemahiran","skills.card.removeSuccess":"{skillName} kemahiran dinyahpasang","skills.card.toggleEnabledError":"Gagal mengemaskinikan kemahiran","skills.card.try":"Cuba","skills.card.trySkill":"Cuba kemahiran","skills.card.uninstall":"Nyahpasang","skills.hero.dotLabel":"Akses slaid {index}","skills.hero.next":"Penampilan ciri yang seterusnya","skills.hero.trySkill":"Cuba kemahiran","skills.page.createSkill":"Kemahiran baharu","skills.page.empty":"Tiada kemahiran ditemukan","skills.page.filteredEmpty":"Tiada kemahiran yang sepadan dengan penapis anda","skills.page.filteredEmptyDescription":"Cuba laraskan penapis carian atau skop anda","skills.page.heading":"Kemahiran","skills.page.loading":"Sedang memuatkan kemahiran…","skills.page.refreshSkills":"Segar semula","skills.page.refreshSkillsToUseNew":"Segar semula untuk menggunakan kemahiran baharu","skills.page.search":"Cari kemahiran","skills.page.search.label":"Cari kemahiran","skills.page.subheading":"Berikan adikuasa kepada Codex.<link>Ketahui lebih lanjut</link>","skills.preview.copyPrompt":"Salin gesaan","skills.preview.examplePrompt":"Contoh gesaan","skills.recommended.error":"Tidak dapat memuatkan kemahiran yang disyorkan","skills.recommended.install":"Pasang","skills.recommended.installSkill":"Pasang kemahiran","skills.recommended.installSuccess":"{skillName} kemahiran dipasang","skills.recommended.installed":"Dipasang","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Pentadbir dipasang","skills.scope.builtIn":"Sistem","skills.scope.personal":"Peribadi","skills.scope.repo":"Wadah","skills.scope.system":"Sistem","skills.scope.team":"Pasukan","skills.scope.user":"Pengguna","skills.section.installed":"Dipasang","skills.section.recommended":"Disyorkan","story.slidingToggle.existing":"Sedia ada","story.slidingToggle.fromLocal":"Daripada setempat","story.slidingToggle.new":"Baharu","story.slidingToggle.toLocal":"Kepada setempat","terminal.close":"Tutup terminal","terminal.title":"Terminal","thinkingShimmer.default":"Berfikir","threadEnvIcon.cloudTooltip":"Perbualan ini dijalankan dalam Codex Cloud.","threadEnvIcon.localTooltip":"Perbualan ini dijalankan secara setempat.","threadEnvIcon.worktreeTooltip":"Perbualan ini dijalankan dalam organisasi kerja git setempat.","threadHeader.archiveConfirmCancel":"Batal","threadHeader.archiveConfirmConfirm":"Arkib","threadHeader.copySessionId":"Salin ID sesi","threadHeader.copyWorkingDirectory":"Salin direktori kerja","threadHeader.forkIntoLocal":"Capah kepada setempat","threadHeader.forkIntoWorktree":"Capah kepada direktori kerja baharu","threadHeader.forkPendingWorktreePrompt":"Capah perbualan ini menjadi direktori kerja baharu.","threadHeader.forkPendingWorktreeTitle":"Perbualan yang dicapah","threadHeader.forkThreadError":"Gagal mencapahkan urutan","threadHeader.forkThreadRequiresGitRepo":"Pencapahan kepada direktori kerja baharu memerlukan wadah git","threadHeader.moreActions":"Tindakan urutan","threadPage.newThread":"Urutan baharu","threadPage.runAction.changeEnvironment":"Ubah persekitaran","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} tindakan","threadPage.runAction.environmentSelector.label":"Pilih persekitaran","threadPage.runAction.label":"Jalankan","threadPage.runAction.missing.label":"Sediakan tindakan pelaksanaan","threadPage.runAction.setup.commandLabel":"Perintah untuk dijalankan","threadPage.runAction.setup.description":"Beritahu Codex cara memasang kebergantungan dan memulakan apl anda.","threadPage.runAction.setup.editMore":"Tetapan persekitaran","threadPage.runAction.setup.placeholder":"mis: npm pasang npm jalankan","threadPage.runAction.setup.submit":"Simpan dan jalankan","threadPage.runAction.setup.title":"Jalankan","threadPage.runAction.tooltip.withEnvironment":"{environmentName} tindakan","threadPage.toggleDiffPanel":"Togol panel perbezaan","threadPage.toggleTerminal":"Togol terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Buka folder","toolSummaryForCmd.exploredFiles":"Fail <verb>yang disenaraikan</verb>","toolSummaryForCmd.exploredFilesInPath":"Fail <verb>yang disenaraikan</verb> dalam {path}","toolSummaryForCmd.exploringFiles":"<verb>Menyenaraikan</verb> fail","toolSummaryForCmd.exploringFilesInPath":"<verb>Menyenaraikan</verb> fail dalam {path}","toolSummaryForCmd.ranGenericCommand":"<status>Telah menjalankan perintah</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Telah menjalankan</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Baca</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Sedang menjalankan perintah</status>{timer}","toolSummaryForCmd.runningTimer":"untuk {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Mencari</verb> {query} ","toolSummaryForCmd.searchedForFiles":"<verb>Mencari</verb> fail","toolSummaryForCmd.searchedForInPath":"<verb>Mencari</verb> {query} dalam {path}","toolSummaryForCmd.searchingFor":"<verb>Sedang mencari</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Sedang mencari</verb> fail","toolSummaryForCmd.searchingForInPath":"<verb>Sedang mencari</verb> {query} dalam {path}","traceRecording.startDetails.cancel":"Batal","wham.diff.addComment":"Tambah ulasan","wham.diff.binaryFile":"Fail Perduaan tidak dipaparkan","wham.diff.noContent":"Tiada kandungan","wham.fileTag.deleted":"Dipadamkan","wham.fileTag.new":"Baharu","wham.formattedRelativeDateTime.compactDaysAgo":"{value}h","wham.formattedRelativeDateTime.compactHoursAgo":"{value}j","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}bln","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}m","wham.formattedRelativeDateTime.compactYearsAgo":"{value}t","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Sedang melakukan tugas anda","wham.whamProposedTask.title":"Tugas yang dicadangkan","wham.whamProposedTask.useSuggestion":"Gunakan cadangan","workspaceRootDialog.addError":"Gagal menambahkan projek","workspaceRootDialog.cancel":"Batal","workspaceRootDialog.confirmAdd":"Tambah projek","workspaceRootDialog.confirmPick":"Gunakan projek","workspaceRootDialog.description":"Masukkan laluan pada {host} untuk digunakan sebagai projek.","workspaceRootDialog.pathLabel":"Laluan projek","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Tambah laluan projek","workspaceRootDialog.title.pick":"Pilih laluan projek","worktreeInitV2.cancel":"Batal","worktreeInitV2.notification.failedTitle":"Persediaan organisasi pekerjaan gagal","worktreeInitV2.output.empty":"Sedang menunggu output…","worktreeInitV2.status.error":"Persediaan organisasi pekerjaan gagal.","worktreeInitV2.status.running":"Sedang mencipta organisasi pekerjaan dan menjalankan persediaan.","worktreeInitV2.status.runningFork":"Sedang mencipta direktori kerja untuk mencapah perbualan ini.","worktreeInitV2.status.success":"Organisasi pekerjaan sudah sedia.","worktreeInitV2.title":"Sedang mencipta organisasi kerja","worktreeInitV2.workLocallyInstead":"Bekerja secara setempat sebaliknya","worktreeRestoreBanner.body":"Direktori kerja urutan ini telah dialih keluar untuk menjimatkan ruang cakera","worktreeRestoreBanner.missing.body":"Direktori bekerja urutan ini tidak lagi wujud","worktreeRestoreBanner.missing.title":"Direktori bekerja semasa tiada","worktreeRestoreBanner.restore.error":"Gagal memulihkan direktori kerja: {message}","worktreeRestoreBanner.restore.success":"Direktori kerja dipulihkan","worktreeRestoreBanner.restoreCta":"Pulihkan direktori kerja","worktreeRestoreBanner.title":"Direktori kerja telah dibersihkan"};export{a as default};
+const a={"CopyButton.copyTooltip":"Salin","app.sidebar.hide":"Sembunyikan bar sisi","app.sidebar.show":"Paparkan bar sisi","app.sidebar.tooltip":"Togol bar sisi","appHeader.installUpdate":"Kemas kini","appSunset.body":"Versi apl ini tidak lagi disokong. Sila muat turun versi terkini <here>di sini</here>.","appSunset.title":"Kemaskinian diperlukan","automation.updateDirective.create":"Cipta","automation.updateDirective.open":"Buka","automation.updateDirective.untitled":"Automasi tanpa tajuk","automation.updateDirective.update":"Kemas kini","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# percubaan}}","cloudTaskRow.archiveError":"Gagal untuk mengarkibkan tugas","code.diff.requestChange":"Minta perubahan","code.diffComment.cancel":"Batal","code.diffComment.comment":"Ulasan","code.diffComment.delete":"Padam","code.diffComment.save":"Simpan","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Tiada penemuan dilaporkan.","codex.alert.closeAriaLabel":"Tutup","codex.appUpsellBanner.cbpApi.message":"Bina lebih pantas dengan apl Codex. Muat turun sekarang atau {learnMoreLink}.","codex.appUpsellBanner.download":"Muat turun","codex.appUpsellBanner.freeGo.message":"Codex disertakan dalam pelan anda hingga 2 Mac. Cuba apl Codex untuk membina lebih pantas.","codex.appUpsellBanner.later":"Kemudian","codex.appUpsellBanner.learnMoreLowercase":"ketahui lebih lanjut","codex.appUpsellBanner.new":"Baharu","codex.appUpsellBanner.proPlusBusiness.message":"Cuba apl Codex dengan 2x had kadar hingga 2 April. Muat turun sekarang atau {learnMoreLink}.","codex.appUpsellBanner.title":"Apl Codex","codex.applyDropdown.header.changes":"Perubahan","codex.applyDropdown.header.fileCount":"{count, plural, other {# fail}}","codex.applyDropdown.header.rows":"baris","codex.applyDropdown.header.title":"Gunakan perubahan","codex.applyDropdown.header.workspace":"Projek","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} fail bercanggah:}}","codex.applyDropdown.results.empty":"Tiada fail telah disalin","codex.applyDropdown.results.skipped":"{count, plural, other {{count} fail dilangkau:}}","codex.applyOrRevertBanner.apply":"Gunakan","codex.applyOrRevertBanner.applyMessage":"Gunakan perubahan dan teruskan secara setempat?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Tugas ini telah dibuat dalam {environment}. Oleh itu, tugas mungkin tidak digunakan dengan sempurna.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Perubahan yang dibuat dalam {environment}. mungkin tidak dapat diterapkan dengan sempurna.","codex.applyOrRevertBanner.reapply":"Gunakan semula","codex.applyOrRevertBanner.revert":"Kembali sebelum","codex.applyOrRevertBanner.revertMessage":"Kembalikan semula perubahan yang digunakan?","codex.applyResultsDialog.applied":"Digunakan dengan sempurna ({count})","codex.applyResultsDialog.close":"Tutup","codex.applyResultsDialog.conflicted":"Bercanggah ({count})","codex.applyResultsDialog.noDetails":"Tiada butiran fail tersedia.","codex.applyResultsDialog.skipped":"Dilangkau ({count})","codex.applyResultsDialog.title":"Hasil penggunaan","codex.archiveInfo":"Lihat sembang yang diarkibkan dalam {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kawalan Data","codex.archiveInfo.electron":"Lihat sembang yang diarkibkan dalam {settingsLink}","codex.archiveInfo.extension":"Lihat sembang yang diarkibkan dalam folder .codex anda.","codex.archiveInfo.settingsLink":"Tetapan","codex.banner.content.description":"Jalankan tugas secara selari, jejaki kemajuan di mana-mana sahaja dan semak PR menggunakan AI.","codex.banner.content.headline":"Codex melakukan semua perkara.","codex.cloudTaskRow.archiveTask":"Arkibkan tugas","codex.cloudTaskRow.confirmArchiveTask":"Sahkan","codex.command.feedback":"Maklum balas","codex.command.findInThread":"Cari","codex.command.forceReloadSkills":"Paksa muat semula kemahiran","codex.command.logOut":"Log keluar","codex.command.manageTasks":"Urus tugas","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Kembali","codex.command.navigateForward":"Maju ke hadapan","codex.command.newThread":"Urutan baharu","codex.command.nextThread":"Urutan seterusnya","codex.command.openFolder":"Buka folder","codex.command.openSkills":"Lawati kemahiran","codex.command.openThreadOverlay":"Paparkan urutan","codex.command.personalitySettings":"Personaliti","codex.command.previousThread":"Urutan sebelumnya","codex.command.settings":"Tetapan","codex.command.toggleDiffPanel":"Togol panel perbezaan","codex.command.toggleSidebar":"Togol bar sisi","codex.command.toggleTerminal":"Togol terminal","codex.commandGroup.app":"Apl","codex.commandGroup.configure":"Konfigurasikan","codex.commandGroup.navigation":"Navigasi","codex.commandGroup.panels":"Panel","codex.commandGroup.skills":"Kemahiran","codex.commandGroup.thread":"Urutan","codex.commandGroup.workspace":"Projek","codex.commandMenu.noResults":"Tiada padanan","codex.commandMenu.searchPlaceholder":"Perintah carian","codex.commandMenu.suggestedGroup":"Dicadangkan","codex.commandMenu.switchWorkspace":"Tukar projek","codex.commandMenu.title":"Menu perintah","codex.common.retry":"Cuba semula","codex.composer.searchBranches":"Cari cawangan","codex.dialog.basic.body":"Ini ialah dialog modal ringkas menggunakan pembalut kami sekitar Dialog Radix.","codex.dialog.basic.cancel":"Batal","codex.dialog.basic.confirm":"Sahkan","codex.dialog.basic.open":"Buka Dialog","codex.dialog.basic.title":"Dialog Contoh","codex.dialog.long.close":"Tutup","codex.dialog.long.line":"Baris yang boleh ditatal {index} untuk menunjukkan kandungan yang panjang dalam dialog.","codex.dialog.long.open":"Buka Dialog Panjang","codex.dialog.long.title":"Dialog Kandungan Panjang","codex.dialog.unstyled.body":"Cerita ini menunjukkan cara pemanggil boleh mengawal penggayaan kandungan dialog sepenuhnya.","codex.dialog.unstyled.open":"Buka Dialog Tanpa Gaya","codex.dialog.unstyled.title":"Kandungan Tanpa Gaya","codex.diff.openInEditorPrompt.openButton":"Buka dalam editor","codex.diff.openInEditorPrompt.singleLine":"Fail ini terlalu besar untuk dipaparkan di sini.","codex.diffView.failedToDecodeBase64Diff":"Gagal menyahkod perbezaan base64","codex.diffView.filesChanged":"{fileCount, plural, other {# fail diubah}}","codex.diffView.imagePreviewAlt":"Pratonton imej","codex.diffView.imagePreviewEmpty":"Tiada imej","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Tiada data perbezaan","codex.diffView.pdfPreview.nextPage":"Halaman seterusnya","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Halaman sebelumnya","codex.diffView.pdfPreviewEmpty":"Tiada pratonton PDF","codex.diffView.pdfPreviewError":"Tidak dapat memaparkan pratonton PDF","codex.diffView.richPreviewDisable":"Nyahdayakan pratonton terperinci","codex.diffView.richPreviewEnable":"Dayakan pratonton terperinci","codex.diffView.richPreviewLoading":"Memuatkan pratonton…","codex.diffView.richPreviewToggle":"Togol pratonton terperinci","codex.diffView.switchToUnified":"Bertukar kepada perbezaan disatukan","codex.environmentSelector.noEnvironment":"Tiada persekitaran","codex.environments.environmentSettings":"Tetapan persekitaran","codex.environments.learnMore":"Ketahui lebih lanjut","codex.environments.listError":"Gagal memuatkan persekitaran.","codex.environments.noEnvironmentsFound":"Tiada persekitaran ditemukan","codex.environments.searchError":"Gagal mencari persekitaran.","codex.errorBoundary.genericError":"Oops, ralat telah berlaku","codex.errorBoundary.goHome":"Cuba lagi","codex.file.patch.missing":"Tidak dapat membina tampalan untuk fail ini.","codex.gallery.automations.cwdLabel":"Projek","codex.gallery.automations.nameLabel":"Nama","codex.gallery.automations.namePlaceholder":"Ringkaskan tugas","codex.gallery.automations.promptLabel":"Gesaan","codex.gallery.automations.promptPlaceholder":"Terangkan perkara yang perlu dilakukan oleh Codex","codex.gallery.dialogs.automation.label":"Dialog automasi","codex.gallery.dialogs.basic.body":"Gunakan reka letak ini untuk pengesahan atau borang pendek yang jelas dan mudah.","codex.gallery.dialogs.basic.cancel":"Batal","codex.gallery.dialogs.basic.confirm":"Sahkan","codex.gallery.dialogs.basic.label":"Dialog asas","codex.gallery.dialogs.basic.title":"Dialog contoh","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Terangkan masalah","codex.gallery.dialogs.feedbackSubmission.bad":"Hasil yang tidak baik","codex.gallery.dialogs.feedbackSubmission.bug":"Pepijat","codex.gallery.dialogs.feedbackSubmission.good":"Hasil yang baik","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Sertakan log sesi Codex semasa","codex.gallery.dialogs.feedbackSubmission.label":"Penyerahan maklum balas","codex.gallery.dialogs.feedbackSubmission.other":"Lain-lain","codex.gallery.dialogs.feedbackSubmission.placeholder":"Terangkan masalah di sini","codex.gallery.dialogs.feedbackSubmission.submit":"Serahkan","codex.gallery.dialogs.feedbackSubmission.title":"Maklum balas","codex.gallery.dialogs.feedbackSuccess.body":"Maklum balas dimuat naik. Jika masalah ini berterusan, sila buka masalah GitHub atau sebutkan ID urutan dalam masalah dibuka sedia ada:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ketepikan","codex.gallery.dialogs.feedbackSuccess.label":"Kejayaan maklum balas","codex.gallery.dialogs.feedbackSuccess.title":"Maklum balas dimuat naik","codex.gallery.dialogs.gitApplyResults.applied":"Digunakan dengan sempurna (2)","codex.gallery.dialogs.gitApplyResults.close":"Tutup","codex.gallery.dialogs.gitApplyResults.conflicted":"Bercanggah (1)","codex.gallery.dialogs.gitApplyResults.label":"Hasil penggunaan","codex.gallery.dialogs.gitApplyResults.title":"Hasil penggunaan","codex.gallery.dialogs.gitPushError.body":"Keluarkan perubahan terkini atau paksa tolak jika anda mengetahui sejarah jauh selamat untuk ditukar ganti.","codex.gallery.dialogs.gitPushError.cancel":"Batal","codex.gallery.dialogs.gitPushError.force":"Paksa tolak","codex.gallery.dialogs.gitPushError.label":"Ralat tolak","codex.gallery.dialogs.gitPushError.subtitle":"Cabang anda tidak dikemaskinikan mengikut asal/utama.","codex.gallery.dialogs.gitPushError.title":"Gagal menolak perubahan","codex.gallery.dialogs.gitRevert.cancel":"Batal","codex.gallery.dialogs.gitRevert.confirm":"Kembali sebelum","codex.gallery.dialogs.gitRevert.label":"Balikkan perubahan","codex.gallery.dialogs.gitRevert.skip":"Jangan tanya lagi","codex.gallery.dialogs.gitRevert.subtitle":"Tindakan ini mengalih keluar semua perubahan ini.","codex.gallery.dialogs.gitRevert.title":"Balikkan perubahan?","codex.gallery.dialogs.longForm.label":"Dialog bentuk panjang","codex.gallery.dialogs.proseModal.body":"Gaya modal ini digunakan untuk arahan yang lebih panjang, suai tugas, atau blok kandungan yang terperinci.","codex.gallery.dialogs.proseModal.close":"Tutup","codex.gallery.dialogs.proseModal.subtitle":"Kongsi panduan atau dokumentasi bentuk lebih panjang di sini.","codex.gallery.dialogs.proseModal.title":"Modal prosa","codex.gallery.dialogs.submitBlocked.label":"Penyerahan disekat","codex.gallery.dialogs.submitBlocked.message":"Mesej anda tidak dapat dihantar kerana projek tidak tersedia.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Tidak dapat menghantar mesej","codex.gallery.dialogs.title":"Dialog","codex.gallery.dropdown.filterPlaceholder":"Tapis item","codex.gallery.dropdowns.actionRow":"Baris tindakan","codex.gallery.dropdowns.actionRow.disabled":"Tindakan yang dinyahdayakan","codex.gallery.dropdowns.actionRow.primary":"Tindakan utama","codex.gallery.dropdowns.actionRow.secondary":"Tindakan kedua","codex.gallery.dropdowns.actionRow.trigger":"Tunjukkan tindakan","codex.gallery.dropdowns.basic":"Menu lungsur asas","codex.gallery.dropdowns.basic.newFile":"Fail baharu","codex.gallery.dropdowns.basic.newFolder":"Folder baharu","codex.gallery.dropdowns.basic.openSettings":"Buka tetapan","codex.gallery.dropdowns.basic.title":"Tindakan pantas","codex.gallery.dropdowns.basic.trigger":"Buka menu","codex.gallery.dropdowns.basic.upload":"Muat naik","codex.gallery.dropdowns.panel":"Paparan panel","codex.gallery.dropdowns.panel.apply":"Gunakan","codex.gallery.dropdowns.panel.body":"Semak perbezaan dan gunakan pada projek anda.","codex.gallery.dropdowns.panel.preview":"Pratonton","codex.gallery.dropdowns.panel.title":"Gunakan perubahan","codex.gallery.dropdowns.panel.trigger":"Buka panel","codex.gallery.dropdowns.search":"Menu lungsur boleh dicari","codex.gallery.dropdowns.search.first":"Saluran Alpha","codex.gallery.dropdowns.search.second":"Cabang Beta","codex.gallery.dropdowns.search.third":"Calon keluaran","codex.gallery.dropdowns.search.trigger":"Tapis item","codex.gallery.dropdowns.submenu":"Menu lungsur dengan submenu","codex.gallery.dropdowns.submenu.optionA":"Projek alpha","codex.gallery.dropdowns.submenu.optionB":"Projek beta","codex.gallery.dropdowns.submenu.optionC":"Projek gamma","codex.gallery.dropdowns.submenu.primary":"Tetapkan pemilik","codex.gallery.dropdowns.submenu.secondary":"Alihkan kepada","codex.gallery.dropdowns.submenu.tertiary":"Arkib","codex.gallery.dropdowns.submenu.trigger":"Pilih tindakan","codex.gallery.dropdowns.title":"Menu lungsur","codex.gallery.inbox.automations.close":"Tutup","codex.gallery.inbox.automations.popover.cardTitle":"Urus automasi","codex.gallery.inbox.automations.popover.dialogTitle":"Urus automasi","codex.header.settingsTooltip":"Tetapan","codex.hunk.patch.error":"Gagal menyediakan perubahan","codex.hunk.patch.missing":"Tidak dapat membina tampalan untuk perubahan besar ini.","codex.hunk.patch.partialSuccess":"Kejayaan separa","codex.hunk.patch.revertError":"Gagal membatalkan persediaan perubahan","codex.hunk.patch.revertSuccess":"Persediaan perubahan berjaya dibatalkan","codex.hunk.patch.success":"Persediaan perubahan berjaya dicipta","codex.legal.autonomy.details":"Untuk mendapatkan butiran lanjut, lihat {link}","codex.legal.autonomy.details.link":"Dokumen Codex","codex.legal.autonomy.title":"Tentukan jumlah autonomi yang ingin anda berikan","codex.legal.backButton":"Kembali","codex.legal.cloud.taskOne.meta":"openai/agi · 12 Okt","codex.legal.cloud.taskOne.title":"Terangkan repositori kepada pereka bentuk baharu","codex.legal.cloud.taskThree.meta":"openai/codex · 8 Okt","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Cipta tema mod gelap","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 Okt","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Betulkan pepijat suai tugas","codex.legal.continue.apikey":"Teruskan","codex.legal.continueButton":"Seterusnya","codex.legal.copilot.details":"Gunakan pelan Copilot anda untuk semua panggilan model, pengebilan dan had kadar. Penggunaan sambungan Codex tertakluk pada {oaiTos} dan juga {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Terma Perkhidmatan GitHub","codex.legal.copilot.oaiTosLink":"Terma perkhidmatan Codex OpenAI","codex.legal.copilot.title":"Dikuasakan oleh Copilot GitHub","codex.legal.mistakes.review":"Semak kod yang ditulis dan perintah yang dijalankan","codex.legal.mistakes.title":"Codex boleh membuat kesilapan","codex.legal.powered.details":"Menggunakan had kadar pelan anda dan {link}","codex.legal.powered.details.link":"keutamaan data latihan","codex.legal.powered.title":"Dikuasakan oleh akaun ChatGPT anda","codex.legal.step.cloud.subtitle":"Hantar tugas kepada Codex untuk dijalankan pada latar belakang supaya anda boleh kekal fokus dan bergerak dengan lebih pantas.","codex.legal.step.cloud.title":"Penyerahan kepada Codex dalam awan","codex.legal.step.intro.subtitle":"Codex menavigasi, mengedit, menjalankan perintah dan melaksanakan ujian terus dalam wadah anda. Dikuasakan oleh akaun ChatGPT anda.","codex.legal.step.intro.title":"Codex dalam IDE anda","codex.legal.step.todo.subtitle":"Tulis ulasan TUGASAN dan tukar kepada tugas Codex dengan satu klik.","codex.legal.step.todo.title":"Tukar TUGASAN menjadi tugas Codex","codex.legal.todo.heading":"// TUGASAN: laksanakan skema","codex.localConversation.closeImagePreview":"Tutup pratonton imej","codex.localConversation.userImageAttachment":"Lampiran pengguna","codex.localTaskRow.archiveTask":"Urutan arkib","codex.localTaskRow.awaitingApproval":"Menunggu kelulusan","codex.localTaskRow.awaitingResponse":"Sedang menunggu respons","codex.localTaskRow.confirmArchiveTask":"Sahkan","codex.loggedOut.apiKeyPrompt.cancel":"Batal","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Dapatkan Kunci API","codex.loggedOut.apiKeyPrompt.inputLabel":"Masukkan kunci API OpenAI anda","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tugas awan dinyahdayakan dengan kunci API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tugas awan dinyahdayakan dengan Copilot dan kunci API","codex.loggedOut.signIn":"Log masuk menggunakan ChatGPT","codex.loggedOut.signIn.cancel":"Batalkan Log Masuk","codex.loggedOut.signInWithCopilot":"Log masuk menggunakan Copilot GitHub","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Gunakan Kunci API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} Alat {tool} MCP","codex.mcpTool.collapsedLabel.verb.called":"Dipanggil","codex.mcpTool.collapsedLabel.verb.calling":"Memanggil","codex.mcpTool.embeddedResource.contentLabel":"Kandungan","codex.mcpTool.embeddedResource.mimeTypeLabel":"Jenis MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Alat mengembalikan tiada kandungan","codex.mcpTool.rawPayloadHeading":"Muat beban panggilan alat {server}.{tool} mentah","codex.menu.recent":"Baru-baru ini","codex.menu.seeAllHistory":"Lihat semua sejarah","codex.modelCapacityBanner.headline.noReset":"{modelName} telah mencapai had kapasiti buat masa ini. Cuba lagi kemudian, atau mulakan perbualan baharu dengan model lain.","codex.modelCapacityBanner.headline.withReset":"{modelName} telah mencapai had kapasiti buat masa ini. Cuba lagi selepas {resetDate}, atau mulakan perbualan baharu dengan model lain.","codex.modelCapacityBanner.title":"Model yang dipilih telah mencapai had kapasiti","codex.patch.change.contentsDeleted":"Kandungan dipadam","codex.patch.change.created":"Dicipta","codex.patch.change.created-file":"Fail yang dicipta","codex.patch.change.creating":"Sedang dicipta","codex.patch.change.deleted":"Dipadamkan","codex.patch.change.deleted-file":"Fail yang dipadamkan","codex.patch.change.deleting":"Memadamkan","codex.patch.change.edited":"Diedit","codex.patch.change.edited-file":"Fail yang diedit","codex.patch.change.editing":"Pengeditan","codex.patch.change.noChanges":"Tiada perubahan","codex.patch.change.rejected-add":"Ditolak","codex.patch.change.rejected-delete":"Ditolak","codex.patch.change.rejected-edit":"Ditolak","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} daripada {total} tugasan diselesaikan","codex.plan.todoListCreated":"Senarai tugasan dibuat dengan {total} tugasan","codex.profileDropdown.apiKeyAuth":"Log masuk menggunakan kunci API","codex.profileDropdown.codexSettings":"Tetapan Codex","codex.profileDropdown.copilotAuth":"Log masuk menggunakan Copilot","codex.profileDropdown.defaultAccountTitle":"Akaun lalai","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter untuk menghantar gesaan yang panjang","codex.profileDropdown.enterBehaviorError":"Gagal mengemaskinikan tetapan","codex.profileDropdown.getPlus":"Naik taraf untuk memperoleh had yang lebih tinggi","codex.profileDropdown.keyboardShortcuts":"Pintasan papan kekunci","codex.profileDropdown.language":"Bahasa","codex.profileDropdown.languageDefault":"Autokesan","codex.profileDropdown.languageSearchPlaceholder":"Cari bahasa","codex.profileDropdown.languageUpdateError":"Gagal mengemaskinikan bahasa","codex.profileDropdown.logOut":"Log keluar","codex.profileDropdown.mcp":"Tetapan MCP","codex.profileDropdown.openConfigToml":"Buka config.toml","codex.profileDropdown.openConfigToml.wsl":"Buka config.toml dalam persekitaran WSL","codex.profileDropdown.openExtensionSettings":"Buka tetapan","codex.profileDropdown.openMcpSettings":"Buka tetapan MCP","codex.profileDropdown.openOnStartup":"Buka semasa permulaan","codex.profileDropdown.openOnStartupError":"Gagal mengemaskinikan tetapan","codex.profileDropdown.openSkillsSettings":"Buka tetapan Kemahiran","codex.profileDropdown.personalAccountTitle":"Akaun peribadi","codex.profileDropdown.queueFollowUps":"Memasuki baris gilir untuk susulan","codex.profileDropdown.queueFollowUpsError":"Gagal mengemaskinikan tetapan","codex.profileDropdown.readDocs":"Baca dokumen","codex.profileDropdown.readSkillsDocs":"Baca dokumen","codex.profileDropdown.runInWsl":"Jalankan dalam WSL","codex.profileDropdown.runInWslError":"Gagal mengemaskinikan tetapan","codex.profileDropdown.runInWslTooltip":"Jalankan Codex dalam WSL. Disyorkan untuk keselamatan kotak pasit yang dipertingkatkan dan prestasi yang lebih baik.","codex.profileDropdown.settings":"Tetapan IDE","codex.profileDropdown.settingsPage":"Tetapan","codex.profileDropdown.signInWithOpenAI":"Log masuk menggunakan ChatGPT","codex.profileDropdown.skills":"Tetapan Kemahiran","codex.profileDropdown.switchToCopilotAccount":"Gunakan akaun Copilot","codex.profileDropdown.switchToOpenAIAccount":"Gunakan akaun OpenAI","codex.profileDropdown.todoCodelens":"Betulkan ulasan TUGASAN","codex.profileDropdown.todoCodelensError":"Gagal mengemaskinikan tetapan","codex.profileDropdown.windowsDocumentation":"Dokumentasi Windows","codex.profileFooter.signedInFallback":"Tetapan","codex.profileFooter.upgrade":"Naik taraf","codex.recentTasksMenu.clearSearch":"Kosongkan carian","codex.recentTasksMenu.cloud":"Tugasan awan","codex.recentTasksMenu.count":"{count, plural, =0 {Tiada tugasan sedang dijalankan} other {# tugasan sedang dijalankan}}","codex.recentTasksMenu.empty":"Belum ada urutan lagi","codex.recentTasksMenu.errorCloud":"Gagal memuatkan tugasan.","codex.recentTasksMenu.errorCloud.inline":"Gagal memuatkan tugasan awan.","codex.recentTasksMenu.filterAll":"Semua","codex.recentTasksMenu.filterCloudTasks":"Tapis tugasan awan","codex.recentTasksMenu.filterTooltip":"Tapis tugasan mengikut persekitaran","codex.recentTasksMenu.local":"Tugasan setempat","codex.recentTasksMenu.recent":"Semua tugasan","codex.recentTasksMenu.search":"Cari tugasan terbaharu","codex.recentTasksMenu.searchEmpty":"Tiada hasil","codex.recentTasksMenu.tooltip":"Sejarah tugas","codex.recentTasksMenu.trigger":"Tugasan terbaharu. {count, plural, other {# sedang dijalankan}}","codex.remoteConversation.applyDiff.applyCta":"Gunakan perubahan","codex.remoteConversation.applyDiff.dropdownTitle":"Gunakan perubahan pada cawangan setempat","codex.remoteConversation.applyDiff.revertCta":"Balikkan perubahan","codex.remoteConversation.closeImagePreview":"Tutup pratonton imej","codex.remoteConversation.codexCloudTask":"Anda sedang melihat tugas <u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Ralat: {message}","codex.remoteConversation.loadingImage":"Memuatkan imej","codex.remoteConversation.openInWeb":"Buka dalam web","codex.remoteConversation.streaming":"Bermula","codex.remoteConversation.turnFailed":"Ralat berlaku semasa tugas ini","codex.remoteConversation.turnTab.loading":"Cuba {number}","codex.remoteConversation.turnTab.title":"Cuba {number}","codex.remoteConversation.userImageAttachment":"Lampiran pengguna","codex.remoteConversation.viewPreviousTurns":"Buka dalam web","codex.remoteConversation.viewPreviousTurns.buttonText":"Buka","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Buka dalam web","codex.review.copyGitApplyCommand":"Salin perintah penggunaan git","codex.review.copyGitApplyCommand.toast":"Perintah penggunaan git disalin pada papan keratan","codex.review.diffTooLarge.description":"Perbezaan ini terlalu besar untuk dipaparkan dalam Semakan.","codex.review.diffTooLarge.title":"Perbezaan terlalu besar untuk dipaparkan","codex.review.expandOrCollapseDiffButton.collapse":"Runtuhkan semua perbezaan","codex.review.expandOrCollapseDiffButton.expand":"Kembangkan semua perbezaan","codex.review.expandOrCollapseDiffMenu.collapse":"Runtuhkan semua perbezaan","codex.review.expandOrCollapseDiffMenu.expand":"Kembangkan semua perbezaan","codex.review.fileSearch.clear":"Kosongkan penapis fail","codex.review.fileSearch.empty":"Tiada fail yang sepadan dengan penapis semasa.","codex.review.fileSearch.label":"Tapis fail","codex.review.fileSearch.placeholder":"Tapis fail…","codex.review.filesChanged":"{num, plural, =0 {Tiada fail yang diubah} other {# fail diubah}}","codex.review.find.loadMore":"Memuatkan lebih banyak padanan","codex.review.fullReview.hideFileTree":"Sembunyikan pepohon fail","codex.review.fullReview.showFileTree":"Tunjukkan pepohon fail","codex.review.header.moreOptions":"Semak pilihan","codex.review.largeDiff.banner":"Perbezaan besar dikesan — menunjukkan satu fail pada satu-satu masa.","codex.review.loadFullFiles.disable":"Jangan muatkan fail penuh","codex.review.loadFullFiles.enable":"Muatkan fail penuh","codex.review.noDiff":"Perubahan fail akan dipaparkan di sini","codex.review.noDiff.gitInit.createRepository":"Cipta wadah git","codex.review.noDiff.gitInit.creating":"Sedang dicipta…","codex.review.noDiff.gitInit.error":"Git init gagal: {message}","codex.review.noDiff.gitInit.success":"Wadah git dicipta","codex.review.noDiff.gitRepoRequired.description":"Jejaki dan buat asal perubahan dalam projek ini","codex.review.noDiff.gitRepoRequired.title":"Cipta wadah Git","codex.review.noDiff.orNoLongerAvailable":"atau perbezaan terkini tidak lagi tersedia","codex.review.noDiff.reverted":"Pusingan terakhir telah dibatalkan.","codex.review.noDiff.revertedOrCommitted":"Pusingan terakhir sama ada telah dibatalkan atau disahkan.","codex.review.refreshGitQueries":"Segar semula","codex.review.revert.file.error":"Gagal mengembalikan semula {path}","codex.review.revert.file.partialSuccess":"{path} dibalikkan sebahagiannya","codex.review.revert.file.success":"{path} dibalikkan","codex.review.revert.hunk.error":"Gagal mengembalikan semula perubahan besar {hunkNumber} dalam {path}","codex.review.revert.hunk.partialSuccess":"Perubahan besar {hunkNumber} dibalikkan sebahagiannya dalam {path}","codex.review.revert.hunk.success":"Sebahagian besar {hunkNumber} dibalikkan dalam {path}","codex.review.revert.section.error":"Gagal mengembalikan semula bahagian","codex.review.revert.section.partialSuccess":"Bahagian dibalikkan sebahagiannya","codex.review.revert.section.success":"Bahagian telah dibalikkan","codex.review.revertDialog.cancel":"Batal","codex.review.revertDialog.confirm":"Sahkan","codex.review.revertDialog.message":"Tindakan ini mengalih keluar semua perubahan ini.","codex.review.revertDialog.skip":"Jangan tanya lagi","codex.review.revertDialog.title":"Balikkan perubahan?","codex.review.richPreview.disable":"Nyahdayakan pratonton terperinci","codex.review.richPreview.enable":"Dayakan pratonton terperinci","codex.review.source.cloud":"Perubahan awan","codex.review.source.local.all":"Semua perubahan cawangan","codex.review.source.local.lastTurn":"Perubahan pusingan akhir","codex.review.source.local.uncommitted":"Perubahan yang tidak dilaksanakan","codex.review.source.worktree":"Perubahan direktori kerja yang tidak disimpan","codex.review.stageFilter.empty.staged.description":"Terima pengeditan untuk menandai sedia pengeditan tersebut","codex.review.stageFilter.empty.staged.title":"Tiada perubahan yang ditandai sedia","codex.review.stageFilter.empty.unstaged.description":"Perubahan kod akan dipaparkan di sini","codex.review.stageFilter.empty.unstaged.title":"Tiada perubahan yang tidak ditandai sedia","codex.review.stageFilter.staged":"Disediakan perubahan","codex.review.stageFilter.staged.count":"Disediakan perubahan · {count}","codex.review.stageFilter.unstaged":"Batalkan persediaan perubahan","codex.review.stageFilter.unstaged.count":"Batalkan persediaan perubahan · {count}","codex.review.switchToSplit":"Beralih kepada perbezaan pembahagian","codex.review.switchToUnified":"Bertukar kepada perbezaan disatukan","codex.review.toggleDiffView":"Togol paparan perbezaan","codex.review.wordDiffs.disable":"Nyahdayakan perbezaan perkataan","codex.review.wordDiffs.enable":"Dayakan perbezaan perkataan","codex.review.wrap.disable":"Nyahdayakan ringkasan perkataan","codex.review.wrap.enable":"Dayakan ringkasan perkataan","codex.section.patch.missing":"Tidak dapat membina tampalan untuk bahagian ini.","codex.shell.collapse":"Runtuhkan kerangka","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kandungan kerangka disalin","codex.shell.copy.copyTooltip":"Salin kandungan kerangka","codex.shell.copyCommand":"Salin perintah","codex.shell.copyOutput":"Salin output","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Kembangkan kerangka","codex.shell.name":"Kerangka","codex.shell.noOutput":"Tiada output","codex.signInFailed.message":"Daftar masuk gagal: {rawMessage}","codex.stories.toast.show":"Tunjukkan Toast","codex.stories.tooltip.basic":"Ini merupakan petua alat","codex.stories.tooltip.hoverMe":"Tuding saya","codex.stories.tooltip.largerOffset":"Petua alat ini memiliki ofset yang lebih besar","codex.stories.tooltip.offsetButton":"Ofset yang lebih besar","codex.stories.tooltip.shortcutButton":"Dengan pintasan","codex.stories.tooltip.withShortcut":"Togol terminal","codex.taskRow.title":"Urutan baharu","codex.taskRowLayout.confirm":"Sahkan","codex.threadFindBar.chatFilter":"Cari sembang","codex.threadFindBar.close":"Tutup cari","codex.threadFindBar.diffFilter":"Cari perbezaan","codex.threadFindBar.label":"Cari dalam urutan","codex.threadFindBar.nextResult":"Hasil seterusnya","codex.threadFindBar.noResults":"0 hasil","codex.threadFindBar.placeholder":"Cari urutan…","codex.threadFindBar.placeholder.extension":"Cari urutan…","codex.threadFindBar.placeholder.review":"Cari perbezaan…","codex.threadFindBar.placeholder.review.extension":"Cari perbezaan…","codex.threadFindBar.previousResult":"Hasil sebelumnya","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# fail diubah}}","codex.unifiedDiff.inlineLargeFile":"Terlalu besar untuk dipaparkan sebaris","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Buat asal","codex.unifiedDiff.revertPatchError":"Gagal mengembalikan semula perubahan","codex.unifiedDiff.revertPatchSuccess":"Perubahan dikembalikan semula","codex.unifiedDiff.reviewChangesSuffix":"perubahan","codex.unifiedDiff.reviewShort":"Semak","codex.unifiedDiff.viewDiffTooltip":"Semak","codex.upsellBanner.business.headline":"Untuk mendapatkan lebih banyak akses sekarang, hantar permintaan kepada pentadbir anda, atau tunggu hingga {resetDate}.","codex.upsellBanner.cbp.headline":"Untuk mendapatkan lebih banyak akses sekarang, hantar permintaan kepada pentadbir anda.","codex.upsellBanner.cta.addCredits":"Tambah Kredit","codex.upsellBanner.cta.upgradeAccount":"Naik taraf","codex.upsellBanner.cta.viewUsage":"Lihat Penggunaan","codex.upsellBanner.freeOrGo.headline":"Had kadar anda diset semula pada {resetDate}. Untuk terus menggunakan Codex, naik taraf kepada Plus hari ini.","codex.upsellBanner.general.headline":"Had kadar anda diset semula pada {resetDate}.","codex.upsellBanner.general.title":"Anda kehabisan mesej Codex","codex.upsellBanner.plus.headline":"Had kadar anda diset semula pada {resetDate}. Untuk terus menggunakan Codex, tambahkan kredit atau naik taraf kepada Pro hari ini.","codex.upsellBanner.pro.headline":"Had kadar anda diset semula pada {resetDate}. Tambahkan kredit untuk terus menggunakan Codex sekarang.","codex.userMessage.autoResolveSync":"Selesaikan konflik secara automatik","codex.userMessage.commentCount":"{count, plural, other {# ulasan}}","codex.userMessage.copiedAriaLabel":"Telah disalin","codex.userMessage.copiedTooltip":"Telah disalin","codex.userMessage.copyAriaLabel":"Salin mesej","codex.userMessage.copyTooltip":"Salin","codex.userMessage.implementPlan":"Laksanakan pelan","codex.userMessage.noContent":"(Tiada kandungan)","codex.userMessage.priorConversation":"Rujuk perbualan awal","codex.userMessage.reviewMode":"Mod semakan","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"untuk {query}","codex.webSearch.summary.verb.completed":"Telah membuat carian web","codex.webSearch.summary.verb.inProgress":"Sedang membuat carian web","codex.windowsInstallWslBanner.dismiss":"Ketepikan","codex.windowsInstallWslBanner.installWslCta":"Dayakan sandbox","codex.windowsInstallWslBanner.learnMore":"Ketahui lebih lanjut","codex.windowsSandboxBanner.content":"Mod Ejen menggunakan sandbox percubaan pada Windows untuk mengehadkan capaian sistem fail dan rangkaian. {sandboxLink}","codex.windowsSandboxBanner.title":"Dayakan sandbox untuk Mod Ejen.","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Tetapan Windows","codexUpgradeModal.body":"Kini Codex dikuasakan oleh GPT-5.2-Codex, model pengekodan agen canggih kami yang terkini. Pada pengekodan, model ini ialah {link}; ditingkatkan lagi selepas GPT-5.2.","codexUpgradeModal.close":"Tutup","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"lebih pintar dan pantas","codexUpgradeModal.title":"Codex baru sahaja dinaik taraf","codexUpgradeModal.tryNewModel":"Cuba GPT-5.2-Codex sekarang","codexUpgradeModal.useExistingModel":"Teruskan dengan model semasa","commentAttachments.numComments":"{count, plural, other {# ulasan}}","commentAttachments.removeAriaLabel":"Alih keluarkan lampiran komen ","common.close":"Tutup","composer.addContext.openFilePickerError":"Tidak dapat membuka pemilih fail","composer.addContextDropdown.ariaLabel":"Tambah fail dan banyak lagi","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Tambah fail dan banyak lagi","composer.addPhotosAndFiles":"Tambah foto & fail","composer.atMentionList.emptyQuery":"Taip untuk mencari fail","composer.atMentionList.loading":"Sedang mencari...","composer.atMentionList.noResults":"Tiada hasil","composer.attemptsSelector.option":"{count, plural, other {# versi}}","composer.attemptsSelector.tooltip":"Bilangan percubaan yang serupa untuk membuat Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Berhenti","composer.cloudFollowUp.cloud":"Awan","composer.cloudFollowUp.local":"Setempat","composer.cloudFollowUp.whereRun":"Di manakah susulan ini patut dijalankan?","composer.cloudTaskCreationError":"Ralat semasa mencipta tugas awan","composer.cloudTaskError":"Ralat semasa mencipta tugas","composer.contextWindow.autoCompactionTooltipLine1":"Codex memadatkan konteks secara automatik","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Tetingkap konteks:","composer.contextWindowUsageStatusFull":"{usage}% penuh","composer.contextWindowUsageStatusLeft":"{usage}% digunakan ({remaining}% yang tinggal)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k token digunakan","composer.customCliTooltip":"Menggunakan CLI tersuai yang boleh dilaksanakan","composer.dictation.aria":"Imlak","composer.dictation.cancel.aria":"Hentikan imlak","composer.dictation.cancel.tooltip":"Hentikan imlak","composer.dictation.startError":"Tidak dapat memulakan pengimlakan","composer.dictation.submit.aria":"Buat transkripsi dan hantar","composer.dictation.submit.tooltip":"Buat transkripsi dan hantar","composer.dictation.tooltip":"Tahan untuk mengimlak","composer.dictation.transcribeError":"Tidak dapat mentranskripsikan audio","composer.dictation.unsupported":"Pengimlakan tidak tersedia pada peranti ini","composer.dropOverlay.holdShift":"Tahan {key} untuk lepas","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Cipta baharu","composer.environmentSelector.error":"Ralat memuatkan persekitaran","composer.environmentSelector.goBack":"Kembali kepada komposer","composer.environmentSelector.title":"Pilih persekitaran","composer.environmentSelector.tooltip":"Pilih persekitaran awan","composer.feedbackSlashCommand.title":"Maklum balas","composer.filePicker.selectFile":"Pilih fail","composer.filePicker.selectFiles":"Pilih fail","composer.followerTooltip":"Untuk meneruskan proses, kembali kepada tetingkap tempat perbualan ini bermula.","composer.footer.branchSwitch.checkoutError":"Gagal beralih cabang: {message}","composer.footer.branchSwitch.createAndCheckout":"Cipta dan beralih kepada cabang baharu…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Laksanakan perubahan untuk mencipta dan beralih kepada cabang baharu","composer.footer.branchSwitch.createBranchError":"Gagal mencipta cabang: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nama cawangan","composer.footer.branchSwitch.createDialog.branchExistsError":"Cabang sudah wujud.","composer.footer.branchSwitch.createDialog.close":"Tutup","composer.footer.branchSwitch.createDialog.createAndCheckout":"Cipta dan beralih","composer.footer.branchSwitch.createDialog.placeholder":"cabang baharu","composer.footer.branchSwitch.createDialog.title":"Cipta dan beralih cabang","composer.footer.branchSwitch.createDialog.trailingSlashError":"Nama cabang tidak boleh berakhir dengan “/”.","composer.footer.branchSwitch.tooltip":"Beralih cabang","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Laksanakan perubahan dalam {fileCount, plural, other {# fail}} untuk menukar cabang {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Pelaksanaan","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"perubahan dalam {fileCount, plural, other {# fail}} untuk menukar cabang {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Batal","composer.footer.branchSwitch.uncommittedDialog.commit":"Sahkan perubahan dan tukar cabang…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Perubahan yang anda buat kepada fail berikut akan ditulis ganti apabila menukar cabang:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Sila laksanakan perubahan anda untuk meneruskan proses","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"cabang yang dipilih","composer.footer.branchSwitch.uncommittedDialog.title":"Sahkan perubahan untuk menukar cabang","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Tidak dilaksanakan: {fileCount, plural, other {# fail}}","composer.forkSlashCommand.description":"Capah urutan ini menjadi direktori kerja setempat atau baharu","composer.forkSlashCommand.option.local.description":"Teruskan dalam urutan setempat baharu","composer.forkSlashCommand.option.local.title":"Capah kepada setempat","composer.forkSlashCommand.option.worktree.description":"Teruskan dalam direktori kerja baharu","composer.forkSlashCommand.option.worktree.title":"Capah kepada direktori kerja baharu","composer.forkSlashCommand.title":"Salin","composer.imageInputsUnsupported":"Model ini tidak menyokong input imej. Cuba model lain.","composer.imageUploadFailed":"Gagal memuat naik imej","composer.includeIdeContextDropdown":"Sertakan konteks IDE","composer.includeIdeContextDropdown.ariaLabel":"Sertakan konteks IDE","composer.localCwdDropdown.addWorkspaceRoot":"Tambah projek baharu","composer.localCwdDropdown.noActiveRoot":"Pilih projek anda","composer.localCwdDropdown.noResults":"Tiada folder ditemukan","composer.localCwdDropdown.title":"Pilih projek anda","composer.localTaskError":"Ralat ketika memulakan perbualan","composer.mcpSlashCommand.description":"Tunjukkan status pelayan MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Tidak disahkan","composer.mcpStatus.authOauth":"Disahkan (OAuth)","composer.mcpStatus.authToken":"Disahkan (kunci API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Tutup","composer.mcpStatus.disabled":"Dinyahdayakan","composer.mcpStatus.emptyLabel":"Pelayan:","composer.mcpStatus.emptyValue":"Tiada pelayan MCP dikonfigurasikan","composer.mcpStatus.enabled":"Didayakan","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Tidak dapat memuatkan status MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Ejen","composer.mode.agentMode.auto.dropdownLabel":"Ejen","composer.mode.agentMode.auto.optionLabel":"Ejen","composer.mode.agentMode.changePermission":"Tukar mod","composer.mode.agentMode.custom":"Tersuai","composer.mode.agentMode.custom.dropdownLabel":"Tersuai","composer.mode.agentMode.custom.option":"Tersuai (config.toml)","composer.mode.agentMode.custom.optionLabel":"Tersuai (config.toml)","composer.mode.agentMode.customInfo.cancel":"Batal","composer.mode.agentMode.customInfo.cli":"Anda boleh melaraskan tetapan tersebut daripada CLI atau dengan mengedit terus fail tersebut.","composer.mode.agentMode.customInfo.confirm":"Gunakan mod tersuai","composer.mode.agentMode.customInfo.description":"Mod tersuai menggunakan polisi kelulusan dan sandbox yang ditakrifkan dalam fail <link>config.toml</link> anda.","composer.mode.agentMode.customInfo.docs":"Ketahui lebih lanjut mengenai cara mengkonfigurasi polisi kelulusan dan sandbox dalam <link>dokumentasi persekitaran pelaksanaan</link>.","composer.mode.agentMode.customInfo.refresh":"Sebarang perubahan akan berkuat kuasa apabila ejen dijalankan pada kali seterusnya.","composer.mode.agentMode.customInfo.title":"Cara mod tersuai berfungsi","composer.mode.agentMode.fullAccess":"Ejen (akses penuh)","composer.mode.agentMode.fullAccess.dropdownLabel":"Ejen (akses penuh)","composer.mode.agentMode.fullAccess.optionLabel":"Ejen (akses penuh)","composer.mode.agentMode.fullAccessConfirm.caution":"Sila berhati-hati apabila mendayakan akses penuh. Hal ini akan meningkatkan risiko kehilangan, kebocoran data atau tingkah laku yang tidak dijangka dengan ketara.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ya, teruskan sahaja","composer.mode.agentMode.fullAccessConfirm.description":"Apabila Codex dijalankan dengan akses penuh, Codex boleh mengedit mana-mana fail pada komputer anda dan menjalankan perintah dengan rangkaian, tanpa kelulusan anda.","composer.mode.agentMode.fullAccessConfirm.goBack":"Batal","composer.mode.agentMode.fullAccessConfirm.title":"Dayakan akses penuh?","composer.mode.agentMode.readOnly":"Sembang","composer.mode.agentMode.readOnly.dropdownLabel":"Sembang","composer.mode.agentMode.readOnly.optionLabel":"Sembang","composer.mode.agentMode.tooltip":"Tukar mod","composer.mode.agentMode.tooltip.auto":"Baca dan edit fail, serta jalankan perintah.","composer.mode.agentMode.tooltip.custom":"Gunakan dasar kelulusan dan kotak pasir terkini yang ditentukan dalam config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex boleh mengedit fail di luar projek dan menjalankan perintah dengan akses rangkaian. Sila berwaspada semasa penggunaan.","composer.mode.agentMode.tooltip.readOnly":"Memerlukan kelulusan untuk mengedit fail dan menjalankan perintah.","composer.mode.cloud.tooltip":"Berfungsi dalam persekitaran awan","composer.mode.contactAdmin":"Untuk mendapatkan lebih banyak akses, hubungi pentadbir anda","composer.mode.local":"Setempat","composer.mode.local.learnMore":"Ketahui lebih lanjut","composer.mode.local.model.custom":"Tersuai","composer.mode.local.model.loadingModel":"Memuatkan model","composer.mode.local.model.selecrReasoningEffort":"Pilih penaakulan","composer.mode.local.model.selectModel":"Pilih model","composer.mode.local.model.tooltip":"Pilih model","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Tinggi","composer.mode.local.reasoning.low.label":"Rendah","composer.mode.local.reasoning.medium.label":"Sederhana","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Tiada","composer.mode.local.reasoning.xhigh.label":"Sangat Tinggi","composer.mode.localRemoteWhereRun":"Pilih tempat untuk menjalankan tugasan","composer.mode.newTask.header":"Teruskan dalam","composer.mode.rateLimit.day":"{days}h","composer.mode.rateLimit.heading":"Had kadar yang berbaki","composer.mode.rateLimit.hour":"{hours}j","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"Had {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} had minggu}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} Minggu}}","composer.mode.remote.connectToCloud":"Sambungkan web Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Sediakan persekitaran melalui web Codex untuk mendayakan penghantaran tugasan kepada awan","composer.mode.remote.selectEnvironment":"Pilih persekitaran","composer.mode.remote.sendToCloud":"Hantar kepada awan","composer.mode.remote.setupViaWeb":"Sediakan persekitaran melalui web Codex","composer.mode.runInCloud":"Awan","composer.mode.runInCloudWithEnvironment":"Awan · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Berfungsi dalam persekitaran awan","composer.mode.segmentedToggle.local.tooltip":"Berfungsi dalam projek setempat anda","composer.mode.segmentedToggle.worktree.tooltip":"Berfungsi dalam organisasi pekerjaan yang selari","composer.mode.upgradeToPlus":"Naik taraf kepada Plus","composer.mode.upgradeToPro":"Naik taraf kepada Pro","composer.mode.workLocally":"Projek setempat","composer.mode.workLocally.currentBranchFallback":"cawangan anda","composer.mode.workLocally.tooltip":"Berfungsi pada {branchName}","composer.mode.worktree":"Organisasi pekerjaan baharu","composer.mode.worktree.submoduleWarning":"Wadah ini memiliki submodul git. Penciptaan direktori kerja mungkin gagal","composer.mode.worktree.tooltip":"Cipta salinan projek setempat anda agar berfungsi secara selari","composer.mode.worktreeSegment":"Organisasi pekerjaan","composer.modelChangeDuringConversationWarning.toast":"Pengubahan model semasa perbualan akan mengurangkan prestasi.","composer.newChat.heading.browser":"Apakah perkara seterusnya yang perlu kami lakukan pengekodan?","composer.permissionsDropdown.custom.label":"Tersuai (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Tersuai (config.toml)","composer.permissionsDropdown.default.label":"Kebenaran lalai","composer.permissionsDropdown.default.optionLabel":"Kebenaran lalai","composer.permissionsDropdown.fullAccess.disabled":"Akses penuh dinyahdayakan oleh requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Ubah kebenaran","composer.personalitySlashCommand.description.friendly":"Mesra, bekerjasama, dan membantu","composer.personalitySlashCommand.description.pragmatic":"Tepat, bertumpukan tugas, dan terus terang","composer.personalitySlashCommand.label.friendly":"Ramah","composer.personalitySlashCommand.label.pragmatic":"Pragmatik","composer.personalitySlashCommand.notApplicableSuffix":"(Tidak digunakan pada model semasa)","composer.personalitySlashCommand.title":"Personaliti","composer.placeholder.cloudFollowUp.directFollowUp":"Susulan terhadap tugas awan ini","composer.placeholder.cloudFollowUp.local":"Cipta tugas setempat baharu yang merujuk tugas awan ini","composer.placeholder.cloudFollowUp.workingTree":"Cipta tugas awan baharu yang merangkumi kod semasa anda dan akan merujuk tugas ini","composer.placeholder.localFollowUp.cloud":"Susulan dalam tugas awan baharu","composer.placeholder.localFollowUp.locally":"Minta perubahan susulan","composer.placeholder.newTask.cloud":"Minta Codex melakukan apa-apa sahaja dalam awan","composer.placeholder.newTask.doAnything":"Minta Codex melakukan apa-apa sahaja","composer.placeholder.newTask.locally":"Tanya Codex apa-apa sahaja, @ untuk menambahkan fail, / untuk perintah","composer.planModeDropdown":"Mod pelan","composer.planModeDropdown.ariaLabel":"Mod pelan","composer.planModeIndicator":"Pelan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Matikan mod pelan","composer.planSlashCommand.enableDescription":"Hidupkan mod pelan","composer.planSlashCommand.title":"Mod pelan","composer.priorContext.label":"Konteks sebelumnya","composer.priorContext.removeAriaLabel":"Alih keluar konteks sebelumnya","composer.queuedMessage.delete":"Padamkan mesej yang diatur","composer.queuedMessage.edit":"Edit mesej","composer.queuedMessage.more":"Tindakan mesej yang diatur","composer.queuedMessage.sendNow":"Hantar sekarang","composer.queuedMessage.turnOff":"Matikan pengaturan","composer.reasoningEffort.local.reasoning.tooltip":"Pilih usaha penaakulan","composer.remote.branchStartingPoint":"Apakah cabang yang perlu dimulakan oleh tugas ini?","composer.remote.branchesSectionHeading":"Cawangan","composer.remote.currentEditsSuffix.followUp":"Cipta tugas baharu yang merujuk tugas awan ini.","composer.remote.currentEditsSuffix.useLocal":"dengan perubahan kod setempat","composer.remote.directFollowUp":"Jangan gunakan perubahan setempat","composer.remote.errorLoadingBranches":"Ralat memuatkan cawangan","composer.remote.fromBranch":"Daripada {branch}","composer.remote.fromCurrentBranch":"Daripada {branch} (semasa)","composer.remote.loadingMoreBranches":"Memuatkan…","composer.remote.localFileStateHeading":"Keadaan fail setempat","composer.remote.localWorkingTree":"Gunakan perubahan setempat","composer.remote.startingPoint":"Apakah kod yang perlu dimulakan oleh tugas ini?","composer.reviewMode.branches.error":"Tidak dapat memuatkan cawangan","composer.reviewMode.branches.retry":"Cuba semula","composer.reviewMode.gitRoot.error":"Asas Git tidak ditemukan","composer.reviewMode.option.baseBranch.simple":"Semak terhadap cawangan asas","composer.reviewMode.option.unstaged.simple":"Semak perubahan yang tidak dilaksanakan","composer.reviewMode.quickReviewError":"Gagal memulakan semakan kod.","composer.reviewMode.title":"Semakan kod","composer.sandboxButton.unlock.disabled.tooltip":"Akses penuh dinyahdayakan oleh requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex boleh menggunakan sandbox percubaan pada Windows untuk mengehadkan capaian sistem fail dan rangkaian. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Dayakan Windows Sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Gunakan baca sahaja","composer.searchEnvironments":"Cari persekitaran","composer.skillMentionList.app":"Apl","composer.skillMentionList.loading":"Sedang memuatkan kemahiran…","composer.skillMentionList.noResults":"Tiada kemahiran ditemukan","composer.slashCommands.cloudEnvironment.title":"Persekitaran awan","composer.slashCommands.dialogLabel":"Menu perintah garis condong","composer.slashCommands.dialogTitle":"Perintah garis condong","composer.slashCommands.disabledTooltip":"Mulakan perbualan baharu untuk menggunakan perintah garis condong","composer.slashCommands.inputPlaceholder":"Buat carian","composer.slashCommands.noResults":"Tiada perintah","composer.slashCommands.skillsGroup":"Kemahiran","composer.slashCommands.tooltip":"Layari perintah garis condong","composer.status.close":"Tutup","composer.statusPlain.alertLabel":"Makluman:","composer.statusPlain.alertValue":"{remaining}% yang tinggal pada {window}","composer.statusPlain.contextLabel":"Konteks:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} digunakan / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% lagi","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Had {modelName}:","composer.statusPlain.rateLimitDays":"Had {count}h","composer.statusPlain.rateLimitFallbackLabel":"Had kadar:","composer.statusPlain.rateLimitHours":"Had {count}j","composer.statusPlain.rateLimitLabelBase":"Had kadar","composer.statusPlain.rateLimitMinutes":"Had {count}m","composer.statusPlain.rateLimitPercent":"{remaining}% lagi","composer.statusPlain.rateLimitReset":"set semula {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"masa set semula tidak tersedia","composer.statusPlain.rateLimitUnavailable":"Tidak tersedia","composer.statusPlain.sessionCopiedAriaLabel":"ID sesi telah disalin","composer.statusPlain.sessionCopiedTooltip":"ID telah disalin","composer.statusPlain.sessionCopyAriaLabel":"Salin ID sesi","composer.statusPlain.sessionCopyTooltip":"Salin ID","composer.statusPlain.sessionLabel":"Sesi:","composer.statusSlashCommand.description":"Tunjukkan ID urutan, penggunaan konteks, dan had kadar","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Tidak dapat menghantar mesej","composer.submit.emptyMessage":"Masukkan mesej untuk bermula","composer.submit.imageInputsUnsupported":"Alih keluar imej atau tukar model untuk menghantar mesej ini.","composer.submit.loadingLocalConfig":"Memuatkan…","composer.submit.missingCloudConfig":"Anda perlu memilih persekitaran awan","composer.submit.missingCloudTurn":"Tidak dapat membuat susulan tentang tugas ini","composer.submit.noWorkspace":"Tambahkan projek untuk menggunakan Codex","composer.submit.waitForImageUploads":"Imej sedang dimuat naik…","composer.submitButtonTooltip.send":"Hantar","composer.submitButtonTooltip.stop":"Berhenti","composer.worktreeEnvironment.create":"Cipta persekitaran setempat","composer.worktreeEnvironment.default":"Persekitaran lalai","composer.worktreeEnvironment.error":"Ralat memuatkan persekitaran","composer.worktreeEnvironment.loading":"Sedang memuatkan persekitaran…","composer.worktreeEnvironment.title":"Persekitaran setempat","composer.worktreeEnvironment.tooltip":"Pilih persekitaran setempat","composer.worktreeSetupFailed":"Persediaan organisasi kerja gagal. Semak .codex/environments untuk mendapatkan skrip persediaan.","compoundButton.secondaryAction":"Tindakan kedua","copyButton.copied":"Telah disalin","copyButton.copiedAriaLabel":"Telah disalin","copyButton.copy":"Salin","copyButton.copyAriaLabel":"Salin","copyButton.copyCode":"Salin kod","diff.actionButton.revertFile":"Balikkan fail","diff.actionButton.revertHunk":"Kembali sebelum","diff.actionButton.revertSection":"Balikkan semua","diff.actionButton.revertSectionLabel":"Balikkan semua","diff.actionButton.stageFile":"Sediakan perubahan fail","diff.actionButton.stageHunk":"Gunakan perubahan","diff.actionButton.stageSection":"Sediakan semua perubahan","diff.actionButton.stageSectionLabel":"Sediakan semua perubahan","diff.actionButton.unstageFile":"Batalkan persediaan perubahan fail","diff.actionButton.unstageHunk":"Batalkan penggunaan perubahan","diff.actionButton.unstageSection":"Batalkan semua persediaan perubahan","diff.actionButton.unstageSectionLabel":"Batalkan semua persediaan perubahan","diff.fileHeader.toggle":"Togol perbezaan fail","electron.onboarding.login.apikey.cancel":"Batal","electron.onboarding.login.apikey.continue":"Teruskan","electron.onboarding.login.apikey.label":"Kunci API OpenAI","electron.onboarding.login.apikey.open":"Masukkan kunci API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Batalkan log masuk","electron.onboarding.login.chatgpt.continue":"Teruskan dengan ChatGPT","electron.onboarding.login.devbox":"Sambungkan kepada SSH jarak jauh","electron.onboarding.login.error":"Daftar masuk gagal: {rawMessage}","electron.onboarding.login.snake.start":"Main Snake","electron.onboarding.login.sshConfig.cancel":"Batal","electron.onboarding.login.sshConfig.continue":"Teruskan","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Cara terbaik untuk membina dengan ejen","electron.onboarding.login.title":"Selamat datang ke Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Teruskan","electron.onboarding.welcome.doubleLimits.description":"Bagi meraikan pelancaran apl Codex, anda mempunyai 2× had kadar hingga 2 April.","electron.onboarding.welcome.freego.description":"Codex disertakan dalam pelan anda secara percuma hingga 2 Mac – mari mula membina bersama.","electron.onboarding.welcome.new.title.anon":"Selamat datang!","electron.onboarding.workspace.continue":"Teruskan","electron.onboarding.workspace.empty":"Tambahkan projek untuk meneruskan proses.","electron.onboarding.workspace.listLabel":"Projek yang tersedia","electron.onboarding.workspace.loading":"Sedang memuatkan projek…","electron.onboarding.workspace.openFolder":"Tambah projek","electron.onboarding.workspace.selectAll":"Pilih semua","electron.onboarding.workspace.skip":"Langkau","electron.onboarding.workspace.skip.error":"Tidak dapat mencipta projek baharu: {message}","electron.onboarding.workspace.skip.error.unknown":"Ralat tidak diketahui","electron.onboarding.workspace.skipping":"Mencipta projek baharu…","electron.onboarding.workspace.subtitle":"Codex akan dapat mengedit fail dan menjalankan perintah dalam folder yang dipilih.","electron.onboarding.workspace.title":"Pilih projek","errorPage.list.checkSettings":"Cuba kemas kinikan tetapan IDE anda","errorPage.list.configToml":"Semak config.toml anda bagi tetapan yang tidak sah","errorPage.list.downloadExtension":"Cuba muat turun versi sambungan yang lain","errorPage.list.runInWsl":"Semak tetapan anda untuk menyahdayakan pelaksanaan dalam WSL jika anda menghadapi maalah keserasian","execApprovalRequest.menu.runAlways":"Ya, dan jangan tanya sesi ini lagi","execApprovalRequest.menu.runAlwaysWithAmendment":"Ya, dan jangan tanya lagi untuk perintah yang bermula dengan {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ya, dan jangan tanya lagi untuk perintah yang bermula dengan","execApprovalRequest.menu.runOnce":"Ya","execApprovalRequest.prompt":"Adakah anda ingin menjalankan perintah ini?","execApprovalRequest.reject":"Tidak","execFooter.exitCode":"Kod keluar {code}","execFooter.exitCode.unknown":"tidak diketahui","execFooter.success":"Berjaya","feedback.dialog.category.badResult":"Hasil yang tidak baik","feedback.dialog.category.bug":"Pepijat","feedback.dialog.category.goodResult":"Hasil yang baik","feedback.dialog.category.other":"Lain-lain","feedback.dialog.descriptionPlaceholder":"Terangkan masalah di sini","feedback.dialog.dismiss":"Ketepikan","feedback.dialog.includeLogsLabel":"Sertakan log sesi Codex semasa","feedback.dialog.submit":"Serahkan","feedback.dialog.submitError":"Kami tidak dapat menyerahkan maklum balas anda. Sila cuba sebentar lagi.","feedback.dialog.title":"Maklum balas","feedback.dialog.uploadedMessage.existingIssue":"masalah terbuka sedia ada","feedback.dialog.uploadedMessage.openIssue":"buka masalah GitHub","feedback.dialog.uploadedMessage.withThread":"Maklum balas dimuat naik. Jika masalah ini berterusan, sila {openIssueLink} atau sebutkan ID urutan dalam {existingIssueLink}:","feedback.dialog.uploadedTitle":"Maklum balas dimuat naik","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Alih keluar {filename}","header.back":"Kembali","header.recentChats":"Tugas","header.recentTasks.seeAll":"Lihat semua ({total})","home.header.getPlus":"Dapatkan Plus","home.hero.letsBuild":"Mari membina","homePage.mainContent":"Kandungan utama","imageAttachment.defaultName":"Imej","imageAttachment.preview.close":"Tutup pratonton imej","imageAttachment.removeAriaLabel":"Alih keluar {filename}","implementPlanRequest.option.implement":"Ya, laksanakan pelan ini","implementPlanRequest.prompt":"Laksanakan pelan ini?","inbox.archived.deleteError":"Tidak dapat memadamkan pelaksanaan yang diarkibkan","inbox.archived.deleteRun":"Padamkan pelaksanaan yang diarkibkan","inbox.archived.deleteSuccess":"Urutan yang diarkibkan telah dipadamkan. Lihat dalam <settingsLink>Urutan yang diarkibkan</settingsLink>.","inbox.archived.inlineLabel.auto":"Urutan ini telah diarkibkan secara automatik. <learnMoreLink>Ketahui lebih lanjut</learnMoreLink>","inbox.archived.inlineLabel.manual":"Urutan ini telah diarkibkan.","inbox.archived.noMessageFound":"Tiada mesej ditemukan","inbox.automations.createError":"Tidak dapat mencipta automasi","inbox.automations.deleteConfirm.cancel":"Batal","inbox.automations.deleteConfirm.confirm":"Padamkan automasi","inbox.automations.deleteConfirm.description":"Tindakan ini akan memadamkan automasi secara kekal dan menghentikan sebarang pelaksanaan pada masa hadapan.","inbox.automations.deleteConfirm.title":"Padam {name}?","inbox.automations.deleteError":"Tidak dapat memadamkan automasi","inbox.automations.editTooltip":"Edit automasi","inbox.automations.inProgress":"Sedang Dijalankan","inbox.automations.new":"Baharu","inbox.automations.newToolbar":"Automasi baharu","inbox.automations.pauseTooltip":"Jeda automasi","inbox.automations.resumeTooltip":"Sambung semula automasi","inbox.automations.startingNow":"Bermula sekarang","inbox.automations.startsIn":"Bermula dalam masa {startTime}","inbox.automations.status.active":"Aktif","inbox.automations.status.paused":"Dijeda","inbox.automations.status.runs":"{count} dijalankan","inbox.automations.status.started":"Dimulakan {date}","inbox.automations.updateError":"Tidak dapat mengemaskinikan automasi","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Semua","inbox.filter.ariaLabel":"Tapis item peti masuk","inbox.filter.unread":"Belum dibaca","inbox.list.archived":"Diarkibkan","inbox.list.inProgress":"Sedang Dijalankan","inbox.list.recent":"Selesai","inbox.list.upNext":"Dijadualkan","inbox.mode.automations":"Automasi","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Tiada perihalan diberikan","inbox.openThread":"Buka urutan","inbox.rightPanel.emptySubtitle":"Automasikan kerja dengan menyediakan tugasan berjadual","inbox.rightPanel.emptySubtitle.learnMore":"Automasikan kerja dengan menyediakan tugasan berjadual. <link>Ketahui lebih lanjut</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# automasi yang aktif}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Tiada automasi yang belum dibaca","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# automasi yang belum dibaca}}","inbox.rightPanel.emptyTitle":"Tiada item dipilih","inbox.rightPanel.noThread":"Tiada urutan untuk item ini","inbox.rightPanel.quickStart.header":"Mulakan dengan templat","inbox.untitled":"Item peti masuk tanpa tajuk","loadingPage.documentationLink":"dokumentasi","loadingPage.errorDescription":"Codex ranap dengan ralat yang berikut:","loadingPage.errorDescription.documentation":"Klik muat semula untuk memulakan semula sambungan Codex, atau lawati {documentationLink} kami untuk mendapatkan bantuan tambahan.","loadingPage.errorSignal":"Beberapa perkara untuk dicuba:","loadingPage.errorTitle":"Ralat telah berlaku","loadingPage.openConfigToml":"Buka Config.toml","loadingPage.reload":"Muat semula","localConversation.contextCompacted":"Konteks dipadatkan secara automatik","localConversation.contextCompacting":"Memadatkan konteks secara automatik","localConversation.forkedFromConversation":"Dicapah daripada {threadTitle}","localConversation.merge.autoResolve.failed":"Gagal meminta penyelesaian automatik: {error}","localConversation.merge.autoResolve.sent":"Permintaan penyelesaian automatik telah dihantar","localConversation.merge.autoResolveMerge.missingConversation":"Tidak dapat melakukan penyelesaian automatik tanpa perbualan aktif.","localConversation.merge.autoResolveMerge.request":"Selesaikan konflik percantuman secara automatik","localConversation.modelChanged":"Model diubah daripada {fromModel} kepada {toModel}.","localConversation.modelChanged.warning.line1":"Pengubahan model semasa perbualan akan mengurangkan prestasi.","localConversation.modelChanged.warning.line2":"Konteks boleh dipadatkan secara automatik.","localConversation.moveThread.createBranch.label":"Cipta cawangan","localConversation.moveToLocal.disabled.loading":"Memuatkan…","localConversation.moveToLocal.modal.continue":"Teruskan","localConversation.moveToLocal.modal.destinationLabel":"Alihkan kepada","localConversation.moveToLocal.modal.retry":"Cuba semula","localConversation.moveToWorktree.modal.back":"Kembali","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Cabang sudah wujud.","localConversation.moveToWorktree.modal.branchesError":"Tidak dapat memuatkan cawangan","localConversation.moveToWorktree.modal.branchesLoading":"Sedang memuatkan cabang…","localConversation.moveToWorktree.modal.branchesRetry":"Cuba semula","localConversation.moveToWorktree.modal.continue":"Teruskan","localConversation.moveToWorktree.modal.retry":"Cuba semula","localConversation.moveToWorktree.modal.trailingSlashError":"Nama cabang tidak boleh berakhir dengan “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"cabang baharu","localConversation.personalityChanged":"Telah beralih kepada personaliti {personality}","localConversation.planSummary.collapse":"Runtuhkan ringkasan pelan","localConversation.planSummary.collapseTooltip":"Runtuh","localConversation.planSummary.download":"Muat turun pelan","localConversation.planSummary.expand":"Kembangkan ringkasan pelan","localConversation.planSummary.expandTooltip":"Kembangkan","localConversation.planSummary.openInNewWindow":"Buka","localConversation.planSummary.openInNewWindow.tooltip":"Buka dalam tetingkap baharu","localConversation.planSummary.title":"Pelan","localConversation.planSummary.titleWriting":"Rancangan penulisan","localConversation.planSummary.viewPlan":"Kembangkan pelan","localConversation.remoteTaskCreated":"Telah mencipta {taskLink} dalam Codex Cloud","localConversation.remoteTaskCreated.task":"tugas","localConversation.scrollToBottomButton":"Tatal ke bawah","localConversation.sync.buttonLabel":"Serahkan kepada setempat","localConversation.sync.buttonLabel.tooltip":"Serahkan perubahan antara organisasi kerja ini dengan direktori kerja setempat anda.","localConversation.sync.modal.loading.title":"Sedang menyerahkan perubahan…","localConversation.sync.modal.noChanges":"Tiada perubahan","localConversation.syncSetup.branchAriaLabel":"Nama cawangan","localConversation.syncSetup.branchName":"Nama cawangan","localConversation.syncSetup.branchPlaceholder.existing":"Pilih cabang sedia ada","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Sedang memuatkan cabang…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Sudah dialihkan","localConversation.syncSetup.checkoutClean":"Berada pada {branchName} pada masa ini","localConversation.syncSetup.checkoutDirty":"Berada pada {branchName} pada masa ini dengan perubahan yang tidak dilaksanakan","localConversation.syncSetup.checkoutError":"Gagal beralih kepada cabang: {message}","localConversation.syncSetup.checkoutLabel":"Beralih secara setempat sekarang","localConversation.syncSetup.checkoutOnLocal":"Serahkan kepada setempat","localConversation.syncSetup.checkoutPending":"Sedang menyemak status setempat…","localConversation.syncSetup.checkoutUnavailable":"Ruang kerja setempat tidak tersedia","localConversation.syncSetup.checkoutUnknown":"Cabang setempat tidak tersedia","localConversation.syncSetup.continue":"Teruskan","localConversation.syncSetup.createBranchError":"Gagal menetapkan cabang penyerahan: {message}","localConversation.syncSetup.error":"Ada sesuatu yang tidak kena: {message}","localConversation.syncSetup.error.workingTreeMissing":"Tidak dapat menangkap gambar direktori kerja. Sila cuba serahkan semula.","localConversation.syncSetup.mode.ariaLabel":"Pilih mod cabang","localConversation.syncSetup.mode.existing":"Cabang sedia ada","localConversation.syncSetup.mode.new":"Cabang baharu","localConversation.syncSetup.noBranches":"Tiada cabang ditemukan","localConversation.syncSetup.overwriteError":"Cabang telah dibuat tetapi tidak diserahkan sepenuhnya. Buat penyerahan manual sebelum beralih secara setempat.","localConversation.syncSetup.setPrefix":"Tetapkan awalan","localConversation.syncSetup.subtitle":"Uji dan edit perubahan direktori kerja secara setempat. <a>Ketahui lebih lanjut</a>","localConversation.syncSetup.success.checkedOut":"Cabang telah dicipta dan digunakan secara setempat","localConversation.syncSetup.success.notCheckedOut":"Cabang dicipta","localConversation.syncSetup.title":"Serahkan kepada cabang setempat","localConversation.syncWorktreeError.branchAriaLabel":"Nama cawangan","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Pilih cabang untuk diserahkan, kemudian cuba memuatkan perubahan semula.","localConversation.syncWorktreeError.branchSetup.title":"Kemas kinikan cawangan","localConversation.syncWorktreeError.branchUpdate.cta":"Kemas kinikan dan cuba semula","localConversation.syncWorktreeError.branchUpdate.error":"Gagal mengemaskinikan cabang: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Ada sesuatu yang tidak kena: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Cabang tidak beralih dalam mana-mana direktori kerja.","localConversation.syncWorktreeV2.applyUncommitted":"Gunakan","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Anda perlu beralih cabang secara setempat untuk menggunakan perubahan yang tidak dilaksanakan","localConversation.syncWorktreeV2.branches.empty":"Tiada cabang ditemukan","localConversation.syncWorktreeV2.branches.loading":"Sedang memuatkan cabang…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Ubah cabang penyerahan","localConversation.syncWorktreeV2.changeBranch.error":"Gagal mengubah cabang penyerahan: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Penggunaan gagal","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Tulis ganti direktori kerja gagal","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Tulis ganti setempat gagal","localConversation.syncWorktreeV2.commandError.back":"Kembali","localConversation.syncWorktreeV2.commandError.body":"Perintah git gagal semasa penyerahan. Semak output dan cuba semula.","localConversation.syncWorktreeV2.commandError.retry":"Cuba semula","localConversation.syncWorktreeV2.description":"Penyerahan berubah antara setempat dengan direktori kerja ini <a>Ketahui lebih lanjut</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Pilih arah penyerahan","localConversation.syncWorktreeV2.error.generic":"Ada sesuatu yang tidak kena semasa penyerahan. Cuba lagi.","localConversation.syncWorktreeV2.localBranchLabel":"Setempat","localConversation.syncWorktreeV2.noChanges":"Sedang mengira perubahan","localConversation.syncWorktreeV2.noChanges.summary":"Tiada perubahan","localConversation.syncWorktreeV2.overwrite.local":"Tulis ganti setempat","localConversation.syncWorktreeV2.overwrite.worktree":"Tulis ganti direktori kerja","localConversation.syncWorktreeV2.partial.action.applyFailed":"Tidak dapat menggunakan perubahan","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Tidak dapat menulis ganti perubahan setempat","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Tidak dapat menulis ganti perubahan direktori kerja","localConversation.syncWorktreeV2.partial.appliedLabel":"Digunakan","localConversation.syncWorktreeV2.partial.back":"Kembali","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Selesaikan konflik dan cuba lagi.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflik","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# fail}}","localConversation.syncWorktreeV2.partial.retry":"Cuba semula","localConversation.syncWorktreeV2.partial.skippedLabel":"Dilangkau","localConversation.syncWorktreeV2.stateFailed.generic":"Ada sesuatu yang tidak kena semasa mendapatkan perubahan direktori kerja untuk diserahkan. Sila cuba lagi.","localConversation.syncWorktreeV2.stateFailed.title":"Gagal memuatkan perubahan direktori kerja","localConversation.syncWorktreeV2.statusError.diffUnknown":"Gagal memuatkan perubahan direktori kerja.","localConversation.syncWorktreeV2.statusError.retry":"Cuba semula","localConversation.syncWorktreeV2.statusError.title":"Tidak dapat memuatkan perubahan cabang setempat","localConversation.syncWorktreeV2.statusError.unknown":"Status cabang tidak tersedia sekarang. Cuba lagi.","localConversation.syncWorktreeV2.success.apply":"Berjaya menggunakan perubahan","localConversation.syncWorktreeV2.success.overwrite":"Penyerahan berjaya","localConversation.syncWorktreeV2.title":"Perubahan penyerahan","localConversation.syncWorktreeV2.worktreeLabel":"Organisasi pekerjaan","localConversation.userInputRequest.inProgress":"Menanyakan {count, plural, other {soalan}}","localConversation.userInputRequest.noAnswer":"Tiada jawapan diberikan","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Ditanya","localConversation.userInputRequest.summary.count":"{count, plural, other {# soalan}}","localConversation.workedFor":"Berfungsi selama {time}","localConversation.worktreeBranchSetup.action.create":"Cipta","localConversation.worktreeBranchSetup.branchAriaLabel":"Nama cawangan","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Cipta cawangan baharu","localConversation.worktreeBranchSetup.checkoutDisabled":"Cabang ini sudah beralih pada {location}","localConversation.worktreeBranchSetup.checkoutError":"Gagal beralih kepada cabang: {message}","localConversation.worktreeBranchSetup.createBranchError":"Gagal menetapkan cabang: {message}","localConversation.worktreeBranchSetup.error":"Ada sesuatu yang tidak kena: {message}","localConversation.worktreeBranchSetup.subtitle":"Cipta cabang untuk melaksanakan perubahan, penolakan, dan mencipta PR daripada direktori kerja ini. <a>Ketahui lebih lanjut</a>","localConversation.worktreeBranchSetup.title":"Buat kerja di sini","localConversationPage.addWorktreeToSidebar.tooltip":"Simpan sebagai projek supaya anda boleh memulakan urutan baharu daripada direktori kerja ini","localConversationPage.addWorktreeToSidebarError":"Gagal menambahkan projek","localConversationPage.commitAndCreatePrModal.errorTitle":"Pelaksanaan dan penciptaan PR gagal","localConversationPage.commitAndCreatePrModal.successTitle":"PR telah dilaksanakan dan dicipta","localConversationPage.commitAndPushModal.errorTitle":"Pelaksanaan dan penolakan gagal","localConversationPage.commitAndPushModal.successTitle":"Perubahan telah dilaksanakan dan ditolak","localConversationPage.commitCreatePr.open":"Buka permintaan pengeluaran","localConversationPage.commitCreatePr.successTitle":"PR dicipta dengan perubahan terkini anda","localConversationPage.createBranchButtonLabel":"Cabang di sini","localConversationPage.createPrModal.baseBranch":"Asas","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Cipta PR","localConversationPage.createPrModal.createDescription":"Buka permintaan tarik untuk perubahan terkini anda.","localConversationPage.createPrModal.errorTitle":"Permintaan tarik gagal","localConversationPage.createPrModal.headBranch":"Utama","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Buka PR","localConversationPage.createPrModal.successTitle":"Permintaan tarik dicipta","localConversationPage.createPrModal.title":"Cipta permintaan tarik","localConversationPage.createPrModal.viewDescription":"Permintaan tarik sudah wujud untuk cawangan ini.","localConversationPage.createPrModal.viewTitle":"Permintaan tarik sudah sedia","localConversationPage.createPullRequestAuthGh":"Sahkan CLI GitHub: jalankan `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Maklumat cawangan tidak tersedia","localConversationPage.createPullRequestButtonLabel":"Cipta PR","localConversationPage.createPullRequestButtonLabel.loading":"Sedang mencipta PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Maklumat cawangan lalai tidak tersedia","localConversationPage.createPullRequestError":"Gagal mencipta permintaan tarik","localConversationPage.createPullRequestExistingPullRequest":"Permintaan tarik sudah wujud untuk cawangan ini","localConversationPage.createPullRequestGhStatusMissing":"Sedang memuatkan status CLI GitHub…","localConversationPage.createPullRequestInstallGh":"Pasang CLI GitHub (gh) untuk mencipta PR","localConversationPage.createPullRequestNoRepo":"Tiada wadah git ditemukan","localConversationPage.createPullRequestPushStatusMissing":"Sedang memuatkan status tolak…","localConversationPage.createPullRequestSetUpstream":"Tolak cawangan ini sebelum mencipta PR","localConversationPage.createPullRequestSuccessToast":"Permintaan tarik dicipta","localConversationPage.createPullRequestSwitchBranch":"Bayar dan keluar cawangan ciri sebelum mencipta PR","localConversationPage.error.render":"Ralat semasa memaparkan perbualan setempat","localConversationPage.error.toast":"Perbualan tidak ditemukan","localConversationPage.forcePushError":"Gagal memaksa tolak","localConversationPage.generatePullRequestMessageError":"Gagal menjana tajuk dan kandungan permintaan tarik","localConversationPage.generatePullRequestMessageFailed":"Gagal menjana tajuk dan kandungan permintaan tarik.","localConversationPage.gitActionResult.branch":"Cawangan","localConversationPage.gitActionResult.cancel":"Batal","localConversationPage.gitActionResult.close":"Tutup","localConversationPage.gitActionResult.tryAgain":"Cuba lagi","localConversationPage.gitActions":"Tindakan Git","localConversationPage.newChat":"Sembang baharu","localConversationPage.openInTarget":"Buka dalam","localConversationPage.openPrimaryTarget":"Buka","localConversationPage.planItemsCompleted":"{completedItems} daripada {totalItems, plural, other {# tugasan selesai}}","localConversationPage.pushAuthError":"Penolakan gagal: pengesahan diperlukan","localConversationPage.pushBranchMissing":"Maklumat cawangan tidak tersedia","localConversationPage.pushButtonLabel":"Tolak","localConversationPage.pushButtonLabel.loading":"Sedang menolak…","localConversationPage.pushError":"Gagal menolak perubahan","localConversationPage.pushModal.branchLabel":"Cawangan","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Batal","localConversationPage.pushModal.confirm":"Tolak","localConversationPage.pushModal.description":"Tolak pelaksanaan terkini anda kepada wadah jarak jauh.","localConversationPage.pushModal.errorTitle":"Penolakan gagal","localConversationPage.pushModal.forcePush":"Paksa tolak","localConversationPage.pushModal.successTitle":"Tolak selesai","localConversationPage.pushModal.title":"Perubahan tolak","localConversationPage.pushModal.tryAgain":"Cuba lagi","localConversationPage.pushNoUpstream":"Tetapkan wadah pusat sebelum menolak cawangan ini","localConversationPage.pushNoUpstreamError":"Penolakan gagal: tiada wadah pusat dikonfigurasikan","localConversationPage.pushNothingToPush":"Tiada pelaksanaan baharu untuk ditolak","localConversationPage.pushRemoteChangedError":"Penolakan gagal: wadah jarak jauh memiliki pelaksanaan baharu","localConversationPage.pushRemoteRejectedError":"Penolakan ditolak oleh wadah jarak jauh","localConversationPage.pushStatusMissing":"Sedang memuatkan status tolak…","localConversationPage.pushSuccessToast":"Perubahan yang ditolak","localConversationPage.viewPullRequestButtonLabel":"Lihat PR","localConversationPage.viewPullRequestButtonLabel.loading":"Sedang memuatkan permintaan tarik…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# fail}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# senarai}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# carian}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Meneroka","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Diterokai","localConversationTurn.exploration.accordion.header.complete.withCounts":"Telah menerokai {counts}","localConversationTurnStory.showContent":"Tunjukkan kandungan","localConversationTurnStory.streamContent":"Strim kandungan","localConversationTurnStory.toggleReasoning":"Tunjukkan penaakulan","localTaskRow.archiveError":"Gagal mengarkibkan perbualan","localTaskRow.resumeError":"Gagal menyambung semua tugas","mermaidDiagram.ariaLabel":"Diagram duyung","mermaidDiagram.copySource":"Salin ikan duyung","mermaidDiagram.originalCode":"Kod sumber duyung","notifications.permissions.description":"Tunjukkan makluman apabila kebenaran pemberitahuan diperlukan","notifications.permissions.label":"Dayakan pemberitahuan kebenaran","notifications.turnMode.always":"Sentiasa","notifications.turnMode.description":"Tetapkan apabila Codex memaklumi anda bahawa tugas Codex selesai","notifications.turnMode.label":"Pemberitahuan pelengkapan pusingan","notifications.turnMode.off":"Tidak pernah","notifications.turnMode.unfocused":"Hanya apabila tidak difokuskan","patchApprovalRequest.approve":"Luluskan","patchApprovalRequest.menu.allowAlways":"Ya, dan jangan tanya sesi ini lagi","patchApprovalRequest.menu.allowForSession":"Ya, dan jangan tanya sesi ini lagi","patchApprovalRequest.menu.allowOnce":"Ya","patchApprovalRequest.prompt":"Adakah anda ingin membuat perubahan ini?","patchApprovalRequest.reject":"Tidak","patchApprovalRequest.waitingForApproval":"Tunggu kelulusan untuk mengedit fail","pendingRequest.approvalExec.collapse":"Runtuh","pendingRequest.approvalExec.expand":"Kembangkan","pendingRequestStory.toastAnswer":"Jawapan: {answer}","pendingRequestStory.toastApprovalTitle":"Respons kelulusan","pendingRequestStory.toastFollowupPrompt":"Gesaan: {prompt}","pendingRequestStory.toastFollowupTitle":"Susulan dihantar","pendingRequestStory.toastNoAnswers":"Tiada jawapan diberikan","pendingRequestStory.toastQuestion":"Soalan: {question}","pendingRequestStory.toastUnknownDecision":"Tidak diketahui","pendingRequestStory.toastUserInputTitle":"Jawapan yang diserahkan","quickAction.request.codeReview.branches.new":"Sila semak perubahan pada {from} terhadap {to}","quickAction.request.codeReview.uncommitted.new":"Sila semak perubahan saya yang tidak dilaksanakan","reasoningItem.thinking":"Berfikir","reasoningItem.thought":"Telah berfikir","reasoningItem.thoughtWithElapsed":"Pendapat untuk {elapsed}","recentConversations.title":"Perbualan Terbaharu","recentTasks.worktreeInitFailedTitle":"Init organisasi kerja gagal","recentTasks.worktreeSettingUpTitle":"Menyediaka organisasi kerja","requestInputPanel.continue":"Teruskan","requestInputPanel.dismiss":"Ketepikan","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Taip di sini","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Tidak, dan beritahu Codex perkara yang perlu dilakukan dengan cara lain","requestInputPanel.selectedBadge":"Dipilih","requestInputPanel.skip":"Langkau","requestInputPanel.submit":"Serahkan","review.commit.ariaLabel.includeUnstaged":"Termasuk yang tidak dipamerkan","review.commit.buttonLabel":"Pelaksanaan","review.commit.disabled.committing":"Sedang melaksanakan…","review.commit.disabled.loadingDiff":"Memuatkan perbezaan…","review.commit.disabled.missingContext":"Tambahkan beberapa konteks untuk menjana mesej pelaksanaan","review.commit.disabled.noChanges":"Tiada perubahan untuk dilaksanakan","review.commit.disabled.noSelection":"Pilih perubahan untuk dilaksanakan","review.commit.disabled.unavailable":"Pelaksanaan tidak tersedia sekarang","review.commit.error":"Gagal melaksanakan perubahan","review.commit.form.changesToBeCommitted":"Perubahan","review.commit.form.commitTo":"Cawangan","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Teruskan","review.commit.form.title":"Laksanakan perubahan anda","review.commit.generate.emptyResponse":"Tidak dapat menjana mesej pelaksanaan.","review.commit.generate.failed":"Gagal menjana mesej pelaksanaan: {error}","review.commit.generate.missingPrompt":"Tambahkan beberapa konteks untuk menjana mesej pelaksanaan.","review.commit.includeUnstaged":"Termasuk yang tidak dipamerkan","review.commit.loading.description":"Harap bersabar, proses ini mungkin mengambil sedikit masa…","review.commit.loading.step.commit.done":"Perubahan yang dilaksanakan","review.commit.loading.step.commit.pending":"Melakukan perubahan","review.commit.loading.step.createPr.done":"Permintaan tarik dicipta","review.commit.loading.step.createPr.pending":"Sedang mencipta permintaan tarik","review.commit.loading.step.push.done":"Ditolak pada cawangan {branch}","review.commit.loading.step.push.pending":"Sedang menolak kepada cawangan {branch}","review.commit.loading.title.commit":"Melakukan perubahan","review.commit.loading.title.createPr":"Mencipta PR","review.commit.loading.title.push":"Sedang menolak perubahan","review.commit.messageLabel":"Mesej pelaksanaan","review.commit.messagePlaceholder":"Biarkan kosong untuk menjana mesej pelaksanaan automatik","review.commit.nextSteps":"Langkah seterusnya","review.commit.nextSteps.commit":"Pelaksanaan","review.commit.nextSteps.commitAndCreate":"Laksanakan dan cipta PR","review.commit.nextSteps.commitAndPush":"Laksanakan dan tolak","review.commit.nextSteps.prRequiresGh":"Memerlukan CLI GitHub: {command}","review.commit.rows.changes":"Perubahan","review.commit.rows.commitCount":"{count, plural, other {# pelaksanaan}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# pelaksanaan}} dan {stats}","review.commit.rows.fileCount":"{count, plural, other {# fail}}","review.commit.state.error.body":"Ada sesuatu yang tidak kena semasa pelaksanaan. Semak status git anda dan cuba lagi.","review.commit.state.error.title":"Pelaksanaan gagal","review.commit.state.success.title":"Perubahan dilaksanakan","review.commit.untracked.loadingStats":"Sedang memuatkan statistik perbezaan yang tidak dijejaki…","reviewFindingAttachments.count":"{count, plural, other {# penemuan}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Edit konfigurasi anda untuk menyesuaikan tingkah laku ejen","settings.agent.configuration.configToml.docs":"Dokumen","settings.agent.configuration.subtitle":"Tetapan ini digunakan pada mana-mana bahagian yang menggunakan Codex","settings.automations.banner.danger":"Automasi dijalankan dengan tetapan sandbox lalai anda, yang ditetapkan kepada Akses Penuh pada masa ini. Pelaksanaan automasi latar belakang dengan Akses Penuh mendatangkan peningkatan risiko, kerana Codex boleh mengubah suai fail, menjalankan perintah, dan mengakses rangkaian tanpa diminta. Pertimbangkan untuk mengemaskinikan tetapan sandbox agar mendapat kebenaran untuk mengedit ruang kerja, dan menggunakan <rulesDocsLink>peraturan</rulesDocsLink> untuk menentukan perintah yang boleh dijalankan oleh ejen secara selektif dengan akses penuh.","settings.automations.banner.defaultHowTo.default":"Automasi dijalankan menggunakan tetapan sandbox lalai anda. Panggilan alat akan gagal jika panggilan alat perlu mengubah suai fail di luar ruang kerja, mengakses rangkaian, atau bekerja menggunakan apl pada komputer anda. Anda boleh membuat senarai dibenarkan perintah secara selektif agar dijalankan di luar sandbox menggunakan <rulesDocsLink>peraturan</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automasi dijalankan dengan tetapan sandbox lalai anda, yang ditetapkan kepada baca sahaja. Panggilan alat akan gagal jika panggilan alat perlu mengubah suai fail, mengakses rangkaian, atau bekerja menggunakan apl pada komputer anda. Pertimbangkan untuk mengemaskinikan tetapan sandbox agar mendapat kebenaran untuk mengedit ruang kerja.","settings.automations.cancel":"Batal","settings.automations.create":"Cipta","settings.automations.cwdEmpty":"Tiada folder projek tersedia","settings.automations.cwdLabel":"Projek","settings.automations.cwdPlaceholder":"Pilih folder","settings.automations.cwdSubtitle":"Jika anda ingin automasi dijalankan pada cabang tertentu, anda boleh menyatakan perkara itu dalam gesaan anda.","settings.automations.delete":"Padam","settings.automations.dialog.editTitle":"Edit automasi","settings.automations.dialog.newTitle":"Automasi baharu","settings.automations.dialog.subtitle":"Automasikan tugasan berulang pada latar belakang. Codex menambahkan penemuan pada peti masuk, atau mengarkibkan tugas secara automatik jika tiada apa-apa untuk dilaporkan. <learnMoreLink>Ketahui lebih lanjut</learnMoreLink>","settings.automations.dialog.title":"Cipta automasi","settings.automations.executionCopy.git":"Automasi dijalankan pada latar belakang dalam direktori kerja khusus.","settings.automations.executionCopy.nonGit":"Automasi dalam projek yang tidak diurus oleh kawalan versi dijalankan secara terus dalam direktori projek. Pertimbangkan penggunaan Git untuk mendayakan pelaksanaan pada direktori kerja latar belakang.","settings.automations.executionEnvironment.local":"Setempat","settings.automations.executionEnvironment.worktree":"Organisasi pekerjaan","settings.automations.loading":"Memuatkan…","settings.automations.nameLabel":"Nama","settings.automations.namePlaceholder":"Semak masalah sentri","settings.automations.pause":"Jeda","settings.automations.promptLabel":"Gesaan","settings.automations.promptPlaceholder":"cari ranap dalam $Sentry","settings.automations.resume":"Sambung semula","settings.automations.rruleSummaryFallback":"Jadual tersuai","settings.automations.runNow":"Ujian","settings.automations.save":"Simpan","settings.automations.scheduleBadge.dayCount":"{count}h","settings.automations.scheduleBadge.interval":"{count}j","settings.automations.scheduleBadge.weekdays":"Hari bekerja","settings.automations.scheduleBadge.weekends":"Hari minggu","settings.automations.scheduleHeader":"Jadual","settings.automations.scheduleHours":"jam","settings.automations.scheduleLabel":"Jalankan setiap","settings.automations.scheduleMode.daily":"Setiap hari","settings.automations.scheduleMode.interval":"Selang","settings.automations.scheduleModeLabel":"Jenis jadual","settings.automations.scheduleSummary.daily":"Setiap hari pukul {time}","settings.automations.scheduleSummary.interval":"Setiap {count}j","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# hari}}","settings.automations.scheduleSummary.intervalDays":"{interval} pada {days}","settings.automations.scheduleSummary.intervalHourly":"Setiap jam","settings.automations.scheduleSummary.singleDay":"{day} pukul {time}","settings.automations.scheduleSummary.weekdays":"Hari bekerja pada {time}","settings.automations.scheduleSummary.weekdaysLabel":"hari bekerja","settings.automations.scheduleSummary.weekends":"Hari minggu pada {time}","settings.automations.scheduleSummary.weekendsLabel":"hari minggu","settings.automations.scheduleSummary.weekly":"{days} pukul {time}","settings.automations.scheduleWeekdays":"Dihidupkan","settings.automations.weekdayState.excluded":"Dikecualikan","settings.automations.weekdayState.included":"Disertakan","settings.conversationDetail.steps":"Langkah","settings.conversationDetail.steps.description":"Sembunyikan perintah dan output","settings.conversationDetail.stepsWithCommands":"Langkah dengan perintah kod","settings.conversationDetail.stepsWithCommands.description":"Tunjukkan perintah, runtuhkan output","settings.conversationDetail.stepsWithOutput":"Langkah dengan output kod","settings.conversationDetail.stepsWithOutput.description":"Tunjukkan perintah dan kembangkan output","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Tiada sembang yang diarkibkan.","settings.dataControls.archivedChats.error":"Tidak dapat memuatkan sembang yang diarkibkan.","settings.dataControls.archivedChats.loading":"Sedang memuatkan sembang yang diarkibkan…","settings.dataControls.archivedChats.unarchive":"Nyaharkib","settings.dataControls.archivedChats.unarchiveError":"Gagal menyaharkibkan sembang","settings.dataControls.archivedChats.unarchiveSuccess":"Urutan yang dinyaharkibkan. <viewNowLink>Lihat sekarang</viewNowLink>","settings.dataControls.archivedChats.untitled":"Sembang tanpa tajuk","settings.editRow.headerPlaceholder":"Kunci","settings.editRow.removeEntry":"Alih keluar entri","settings.editRow.valuePlaceholder":"Nilai","settings.general.appearance":"Penampilan","settings.general.appearance.codeFont":"Fon kod","settings.general.appearance.codeFont.description":"Laraskan fon dan saiz yang digunakan untuk kod merentas sembang dan perbezaan","settings.general.appearance.codeFontFamily":"Keluarga fon kod","settings.general.appearance.codeFontSize":"Saiz fon kod","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Buat Windows menggunakan latar belakang padu berbanding dengan kelutcahayaan sistem","settings.general.appearance.opaqueWindows.label":"Gunakan latar belakang tetingkap legap","settings.general.appearance.sansFontFamily":"Keluarga fon Sans","settings.general.appearance.sansFontFamily.description":"Laraskan fon yang digunakan untuk UI Codex","settings.general.appearance.sansFontSize":"Saiz fon Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Tunjukkan kesan keraian dalam tetingkap penuh sementara GPT-5.3-Codex-Spark dijalankan pada pusingan pertama","settings.general.appearance.sparkCelebrationEffects.label":"Cetus kesan keraian","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Gelap","settings.general.appearance.theme.description":"Gunakan cerah, gelap, atau dipadankan dengan sistem anda","settings.general.appearance.theme.light":"Cerah","settings.general.appearance.theme.system":"Sistem","settings.general.appearance.usePointerCursors.description":"Ubah kursor kepada pointer apabila menuding pada elemen interaktif","settings.general.appearance.usePointerCursors.label":"Gunakan kursor pointer","settings.general.enterBehavior.description":"Apabila didayakan, gesaan berbilang baris memerlukan {modifierSymbol} + enter untuk dihantar.","settings.general.enterBehavior.label":"Memerlukan {modifierSymbol} + enter untuk menghantar gesaan yang panjang","settings.general.experimentalFeatures":"Ciri eksperimental (Beta)","settings.general.experimentalFeatures.empty":"Tiada ciri eksperimental beta tersedia.","settings.general.experimentalFeatures.loading":"Sedang memuatkan ciri eksperimental…","settings.general.experimentalFeatures.restartNote":"Mulakan semula Codex untuk menerapkan perubahan ciri eksperimental","settings.general.experimentalFeatures.toggle":"Togol {featureName}","settings.general.followUpQueueMode.description":"Memasuki baris gilir untuk susulan sementara Codex menjalankan atau mengganggu pelaksanaan semasa","settings.general.followUpQueueMode.interrupt":"Perincikan","settings.general.followUpQueueMode.label":"Gelagat susulan","settings.general.followUpQueueMode.queue":"Baris gilir","settings.general.notifications":"Pemberitahuan","settings.general.power.preventSleepWhileRunning.description":"Pastikan komputer anda tetap berjaga semasa Codex menjalankan urutan.","settings.general.power.preventSleepWhileRunning.label":"Elakkan tidur semasa proses berjalan","settings.git.branchPrefix.ariaLabel":"Awalan cabang","settings.git.branchPrefix.description":"Awalan digunakan apabila mencipta cabang baharu dalam Codex","settings.git.branchPrefix.label":"Awalan cabang","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Gagal menyimpan awalan cabang","settings.git.branchPrefix.save.success":"Awalan cabang yang disimpan","settings.git.commitInstructions.ariaLabel":"Arahan pelaksanaan","settings.git.commitInstructions.description":"Ditambahkan pada gesaan penjanaan mesej pelaksanaan","settings.git.commitInstructions.label":"Arahan pelaksanaan","settings.git.commitInstructions.placeholder":"Tambahkan panduan mesej pelaksanaan…","settings.git.commitInstructions.save":"Simpan","settings.git.commitInstructions.save.error":"Gagal menyimpan arahan pelaksanaan","settings.git.commitInstructions.save.success":"Arahan pelaksanaan disimpan","settings.git.forcePush.ariaLabel":"Sentiasa paksa tolak","settings.git.forcePush.description":"Gunakan --force-with-lease apabila menolak daripada Codex","settings.git.forcePush.label":"Sentiasa paksa tolak","settings.git.forcePush.save.disabled":"Sentiasa paksa tolak dinyahdayakan","settings.git.forcePush.save.enabled":"Sentiasa paksa tolak didayakan","settings.git.forcePush.save.error":"Gagal menyimpan tetapan paksa tolak","settings.git.prInstructions.ariaLabel":"Arahan permintaan tarik","settings.git.prInstructions.description":"Lampirkan pada kandungan permintaan tarik yang dicipta oleh Codex","settings.git.prInstructions.label":"Arahan permintaan tarik","settings.git.prInstructions.placeholder":"Tambah panduan permintaan tarik…","settings.git.prInstructions.save":"Simpan","settings.git.prInstructions.save.error":"Gagal menyimpan arahan permintaan tarik","settings.git.prInstructions.save.success":"Arahan permintaan tarik disimpan","settings.ide.defaultOpenTarget.description":"Tempat fail dan folder dibuka secara lalai","settings.ide.defaultOpenTarget.label":"Destinasi buka lalai","settings.ide.defaultOpenTarget.placeholder":"Tiada sasaran ditemukan","settings.ide.language.auto":"Autokesan","settings.ide.language.autoOption":"Autokesan","settings.ide.language.description":"Bahasa untuk UI apl","settings.ide.language.label":"Bahasa","settings.ide.language.search":"Cari bahasa","settings.layout.actionButton":"Mulakan semula sambungan","settings.layout.actionTitle":"Tetapan dengan tindakan","settings.layout.fullWidthTitle":"Tetapan (Lebar penuh)","settings.layout.title":"Tetapan","settings.localEnvironments.actions.add":"Tambah tindakan","settings.localEnvironments.actions.add.description":"Cipta perintah baharu untuk dijalankan daripada bar alat.","settings.localEnvironments.actions.add.save":"Simpan","settings.localEnvironments.actions.empty":"Tambah tindakan untuk menjalankan perintah daripada bar alat setempat.","settings.localEnvironments.actions.icon.debug":"Nyahpepijat","settings.localEnvironments.actions.icon.run":"Jalankan","settings.localEnvironments.actions.icon.test":"Ujian","settings.localEnvironments.actions.icon.tool":"Alat","settings.localEnvironments.actions.item.button.delete":"Padam","settings.localEnvironments.actions.item.command":"Skrip tindakan","settings.localEnvironments.actions.item.name":"Nama","settings.localEnvironments.actions.item.platforms":"Platform","settings.localEnvironments.actions.item.platforms.help":"Hanya dijalankan pada OS tertentu.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Pemilihan platform","settings.localEnvironments.actions.item.platforms.specific":"Khusus platform","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Padam","settings.localEnvironments.actions.title":"Tindakan","settings.localEnvironments.breadcrumb.back":"Kembali","settings.localEnvironments.breadcrumb.edit":"edit","settings.localEnvironments.breadcrumb.root":"Persekitaran","settings.localEnvironments.environment.actions.description":"Tindakan ini boleh menjalankan sebarang perintah dan akan dipaparkan dalam pengepala.","settings.localEnvironments.environment.actionsLabel":"Tindakan","settings.localEnvironments.environment.create":"Cipta persekitaran setempat","settings.localEnvironments.environment.defaultName":"setempat","settings.localEnvironments.environment.edit":"Edit persekitaran setempat","settings.localEnvironments.environment.empty":"Tiada persekitaran setempat dikonfigurasikan untuk projek ini lagi.","settings.localEnvironments.environment.name":"Nama","settings.localEnvironments.environment.setup":"Skrip persediaan","settings.localEnvironments.environment.setup.description":"Skrip ini akan dijalankan pada penciptaan organisasi pekerjaan.","settings.localEnvironments.environment.setup.hint":"Dijalankan dalam akar projek.","settings.localEnvironments.environment.setup.platformOverrides":"Penggantian platform","settings.localEnvironments.environment.setup.platformOverrides.add":"Tambahkan {platform} skrip persediaan","settings.localEnvironments.environment.setup.platformOverrides.description":"Gantikan skrip lalai untuk OS tertentu.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Alih keluar","settings.localEnvironments.environment.setup.script":"Skrip","settings.localEnvironments.environment.title":"Butiran persekitaran","settings.localEnvironments.file.missing":"Simpan untuk mencipta fail ini untuk kali pertama.","settings.localEnvironments.file.parseError":"Tidak dapat menghuraikan fail sedia ada. Tindakan menyimpan akan menggantikan fail tersebut. ({error})","settings.localEnvironments.file.path":"Fail: {path}","settings.localEnvironments.file.readError":"Gagal memuatkan data persekitaran setempat. ({error})","settings.localEnvironments.file.title":"Fail persekitaran setempat","settings.localEnvironments.loading.body":"Sedang mengambil konfigurasi projek anda.","settings.localEnvironments.loading.title":"Memuatkan persekitaran setempat","settings.localEnvironments.preview.devOnly":"(PEMBANGUN sahaja)","settings.localEnvironments.preview.save":"Simpan","settings.localEnvironments.preview.saveError":"Gagal menyimpan fail. ({error})","settings.localEnvironments.preview.title":"Pratonton","settings.localEnvironments.save.disabled.name":"Tambahkan nama persekitaran untuk disimpan.","settings.localEnvironments.save.disabled.noChanges":"Tiada perubahan untuk disimpan.","settings.localEnvironments.save.disabled.saving":"Menyimpan…","settings.localEnvironments.save.success":"Persekitaran setempat yang disimpan","settings.localEnvironments.unavailable.body":"Kami tidak dapat memuatkan tetapan persekitaran setempat untuk projek ini.","settings.localEnvironments.unavailable.title":"Persekitaran setempat tidak tersedia","settings.localEnvironments.workspace.add":"Tambah projek","settings.localEnvironments.workspace.title":"Projek","settings.localEnvironments.workspaceSelect.addLabel":"Tambah persekitaran","settings.localEnvironments.workspaceSelect.description":"Persekitaran setempat memberitahu Codex cara menyediakan direktori kerja untuk projek. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Belum ada projek lagi. Tambahkan projek untuk mengkonfigurasikan persekitaran setempat.","settings.localEnvironments.workspaceSelect.errorLabel":"Persekitaran memerlukan perhatian","settings.localEnvironments.workspaceSelect.learnMore":"Ketahui lebih lanjut","settings.localEnvironments.workspaceSelect.listLabel":"Projek yang tersedia","settings.localEnvironments.workspaceSelect.loading":"Sedang memuatkan projek.","settings.localEnvironments.workspaceSelect.loadingLabel":"Memuatkan persekitaran","settings.localEnvironments.workspaceSelect.title":"Pilih projek","settings.localEnvironments.workspaceSelect.viewAction":"Lihat","settings.mcp.addServer":"Tambahkan pelayan","settings.mcp.app.configure":"Konfigurasikan","settings.mcp.app.connect":"Sambungkan","settings.mcp.apps.refresh":"Segar semula","settings.mcp.detail.addArgument":"Tambah hujah","settings.mcp.detail.addEnvVar":"Tambah kepelbagaian persekitaran","settings.mcp.detail.addEnvVarPassthrough":"Tambah kepelbagaian","settings.mcp.detail.args":"Hujah","settings.mcp.detail.back":"Kembali","settings.mcp.detail.command":"Perintah untuk dilancarkan","settings.mcp.detail.cwd":"Direktori kerja","settings.mcp.detail.docs":"Buka dokumentasi MCP","settings.mcp.detail.docs.link":"Dokumen","settings.mcp.detail.envVarPassthrough":"Pemajuan kepelbagaian persekitaran","settings.mcp.detail.envVars":"Kepelbagaian persekitaran","settings.mcp.detail.http.addEnvHeader":"Tambah kepelbagaian","settings.mcp.detail.http.addHeader":"Tambah pengepala","settings.mcp.detail.http.bearerToken":"Pemboleh ubah persekitaran token pembawa","settings.mcp.detail.http.envHeaders":"Pengepala daripada kepelbagaian persekitaran","settings.mcp.detail.http.headers":"Pengepala","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nama","settings.mcp.detail.save":"Simpan","settings.mcp.detail.switchTransportNotice":"Jika anda ingin bertukar jenis pelayan MCP, sila nyahpasang dahulu.","settings.mcp.detail.titleExisting":"Kemas kinikan {name} MCP","settings.mcp.detail.titleNew":"Sambungkan kepada MCP tersuai","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Nyahpasang","settings.mcp.empty":"Tiada pelayan MCP tersuai disambungkan","settings.mcp.myServers":"Pelayan tersuai","settings.mcp.partnerServer.description.figma":"Jana kod yang lebih baik dengan membawakan konteks penuh Figma","settings.mcp.partnerServer.description.github":"Sepadukan dengan API GitHub untuk mengautomasikan aliran kerja dan mengekstrak data","settings.mcp.partnerServer.description.linear":"Sepadukan dengan penjejakan masalah dan pengurusan projek Linear","settings.mcp.partnerServer.description.notion":"Baca dokumen, kemas kinikan halaman, urus tugas","settings.mcp.partnerServer.description.playwright":"Sepadukan automasi pelayar untuk melaksanakan reka bentuk dan menguji UI.","settings.mcp.partnerServer.install":"Pasang","settings.mcp.partnerServer.installAndAuthenticate":"Pasang dan sahkan","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Urus","settings.mcp.partnerServer.vendor":"oleh {vendor}","settings.mcp.recommendedServers":"Pelayan yang disyorkan","settings.mcp.restartApp":"Mula semula","settings.mcp.restartExtension":"Mulakan semula sambungan","settings.mcp.server.enable":"Dayakan","settings.mcp.server.login":"Sahihkan","settings.mcp.server.settings":"Tetapan","settings.multiselect.createOption":'Cipta "{value}"',"settings.multiselect.removeOption":"Alih keluar","settings.nav.account":"Akaun","settings.nav.agent":"Konfigurasi","settings.nav.ariaLabel":"Tetapan","settings.nav.back":"Kembali kepada apl","settings.nav.data-controls":"Urutan yang diarkibkan","settings.nav.environments":"Persekitaran Awan","settings.nav.externalTooltip":"[alpha] Dibuka dalam pelayar","settings.nav.general-settings":"Am","settings.nav.git-settings":"Git","settings.nav.local-environments":"Persekitaran","settings.nav.mcp-settings":"Pelayan MCP","settings.nav.notImplemented":"[alpha] Tidak tersedia dalam Alpha","settings.nav.personalization":"Pemeribadian","settings.nav.skills-settings":"Kemahiran","settings.nav.usage-analytics":"Penggunaan & Analitis","settings.nav.worktrees":"Organisasi kerja","settings.openSourceLicenses.back":"Kembali","settings.openSourceLicenses.loading":"Memuatkan…","settings.openSourceLicenses.missing":"Tiada notis pihak ketiga ditemukan.","settings.openSourceLicenses.notSupported":"Tidak tersedia dalam hos ini.","settings.openSourceLicenses.rowDescription":"Notis pihak ketiga untuk himpunan kebergantungan","settings.openSourceLicenses.rowLabel":"Lesen sumber terbuka","settings.openSourceLicenses.subtitle":"Notis pihak ketiga untuk kebergantungan disertakan dalam apl ini","settings.openSourceLicenses.title":"Lesen sumber terbuka","settings.openSourceLicenses.view":"Lihat","settings.personalization.agents.description":"Edit arahan dengan Codex yang disesuaikan untuk anda. {learnMore}","settings.personalization.agents.learnMore":"Ketahui lebih lanjut","settings.personalization.agents.loadError":"Tidak dapat memuatkan agents.md.","settings.personalization.agents.loading":"Sedang memuatkan agents.md…","settings.personalization.agents.placeholder":"Tambahkan arahan tersuai anda…","settings.personalization.agents.retry":"Cuba semula","settings.personalization.agents.save":"Simpan","settings.personalization.agents.save.error":"Tidak dapat menyimpan agents.md","settings.personalization.agents.save.success":"agents.md telah disimpan","settings.personalization.agents.title":"Arahan tersuai","settings.personalization.personality.description":"Pilih nada lalai untuk tindak balas Codex","settings.personalization.personality.label":"Personaliti","settings.sample.contentBody":"Gunakan reka letak ini untuk membuat panel tetapan anda dengan ruang yang konsisten.","settings.sample.contentTitle":"Contoh sekatan kandungan","settings.section.account":"Akaun","settings.section.agent":"Konfigurasi","settings.section.data-controls":"Urutan yang diarkibkan","settings.section.environments":"Persekitaran Awan","settings.section.external":"Dibuka dalam pelayar anda semasa Alpha","settings.section.general-settings":"Am","settings.section.git-settings":"Git","settings.section.local-environments":"Persekitaran","settings.section.mcp-settings":"Pelayan MCP","settings.section.mcp-settings.docs":"Dokumen","settings.section.mcp-settings.subtitle":"Sambungkan alatan dan sumber data luaran.","settings.section.personalization":"Pemeribadian","settings.section.skills-settings":"Kemahiran","settings.section.unavailable":"Belum tersedia dalam Alpha","settings.section.usage-analytics":"Penggunaan & Analitis","settings.section.worktrees":"Organisasi kerja","settings.threadDetail.description":"Pilih jumlah output perintah untuk ditunjukkan dalam urutan","settings.threadDetail.label":"Butiran urutan","settings.worktrees.conversation.untitled":"Perbualan tanpa tajuk","settings.worktrees.delete.error":"Gagal memadamkan direktori kerja","settings.worktrees.empty.body":"Direktori kerja yang dicipta oleh Codex akan dipaparkan di sini.","settings.worktrees.empty.title":"Tiada direktori kerja lagi","settings.worktrees.error.body":"Ada sesuatu yang tidak kena semasa memuatkan direktori kerja.","settings.worktrees.error.retry":"Cuba semula","settings.worktrees.error.title":"Tidak dapat memuatkan direktori kerja","settings.worktrees.loading.body":"Sedang mendapatkan butiran direktori kerja.","settings.worktrees.loading.title":"Sedang memuatkan direktori kerja","settings.worktrees.repository.loading":"Sedang memuatkan metadata wadah…","settings.worktrees.repository.unknown":"Repositori tidak diketahui","settings.worktrees.row.conversations":"Perbualan","settings.worktrees.row.conversations.empty":"Tiada perbualan yang dipautkan kepada direktori kerja ini.","settings.worktrees.row.conversations.loading":"Sedang memuatkan perbualan…","settings.worktrees.row.delete":"Padam","settings.worktrees.row.title":"Organisasi pekerjaan","sidebarElectron.addWorkspaceRoot":"Tambah projek baharu","sidebarElectron.archiveThread":"Urutan arkib","sidebarElectron.archiveThreadError":"Gagal mengarkibkan urutan","sidebarElectron.collapseFolder":"Runtuhkan folder","sidebarElectron.createStableWorktree.dialog.cancel":"Batal","sidebarElectron.createStableWorktree.dialog.create":"Cipta","sidebarElectron.debugNavLink":"Nyahpepijat","sidebarElectron.editWorkspaceRootOptionName":"Edit nama","sidebarElectron.expandFolder":"Kembangkan folder","sidebarElectron.groupByMenu.recency":"Senarai kronologi","sidebarElectron.groupByMenu.title":"Susun","sidebarElectron.groupByMenu.workspace":"Mengikut projek","sidebarElectron.inboxRouteNavLink":"Automasi","sidebarElectron.markThreadUnread":"Tandai sebagai belum dibaca","sidebarElectron.missingWorkspaceRoot":"Folder projek ini telah dipadamkan atau dialih","sidebarElectron.newThread":"Urutan baharu","sidebarElectron.newThreadInGroup":"Mulakan urutan baharu dalam {folder}","sidebarElectron.noRecentThreads":"Tiada urutan terbaharu","sidebarElectron.noTasks":"Tiada urutan","sidebarElectron.noTasks.start":"Tambah projek baharu","sidebarElectron.noTasksWithFilter":"Tiada urutan sepadan dengan penapis","sidebarElectron.pinnedThreads":"Urutan yang disematkan","sidebarElectron.recentNavLink":"Urutan","sidebarElectron.recentThreads":"Urutan terbaharu","sidebarElectron.removeWorkspaceRootOption":"Alih keluar","sidebarElectron.renameThread":"Namakan semula urutan","sidebarElectron.renameThreadDialogAriaLabel":"Tajuk urutan","sidebarElectron.renameThreadDialogCancel":"Batal","sidebarElectron.renameThreadDialogPlaceholder":"Tambah tajuk…","sidebarElectron.renameThreadDialogSave":"Simpan","sidebarElectron.renameThreadDialogSubtitle":"Pastikan urutan ringkas dan mudah dikenali.","sidebarElectron.renameThreadDialogTitle":"Namakan semula urutan","sidebarElectron.renameThreadError":"Gagal menamakan semula urutan","sidebarElectron.renameWorkspaceRootOptionLabel":"Nama paparan","sidebarElectron.showLess":"Tunjuk kurang","sidebarElectron.showMenu.all":"Semua urutan","sidebarElectron.showMenu.relevant":"Relevan","sidebarElectron.showMenu.relevantHint":"Hanya tunjukkan urutan terbaharu bagi cabang, direktori kerja semasa, atau urutan lain yang memerlukan perhatian anda","sidebarElectron.showMenu.title":"Tunjukkan","sidebarElectron.showMenu.tooltip":"Tapis, isih, dan urus urutan","sidebarElectron.showMenu.trigger":"Tapis urutan bar sisi","sidebarElectron.showMore":"Tunjuk lagi","sidebarElectron.skillsRouteNavLink":"Kemahiran","sidebarElectron.sortMenu.created":"Dicipta","sidebarElectron.sortMenu.title":"Isih mengikut","sidebarElectron.sortMenu.updated":"Dikemaskinikan","sidebarElectron.taskNavigation":"Folder automasi","sidebarElectron.tasksInFolder":"Automasi dalam {folder}","sidebarElectron.workspaceOptions":"Tindakan projek untuk {folder}","sidebarElectron.worktreeGroupTooltip":"Ini ialah organisasi kerja git","skills.appsPage.createSkill":"Kemahiran baharu","skills.appsPage.empty.skills":"Tiada kemahiran ditemukan","skills.appsPage.search.skills":"Cari kemahiran","skills.appsPage.search.skills.label":"Cari kemahiran","skills.appsPage.section.installedApps":"Dipasang","skills.appsPage.section.skills":"Kemahiran","skills.appsPage.subheading":"Berikan adikuasa kepada Codex.<link>Ketahui lebih lanjut</link>","skills.appsPage.tab.recommended":"Disyorkan","skills.appsPage.tab.skills":"Kemahiran","skills.card.contentsError":"Tidak dapat memuatkan kandungan kemahiran.","skills.card.disable":"Nyahdayakan","skills.card.disableSuccess":"{skillName} kemahiran dinyahdayakan","skills.card.disabledBadge":"Dinyahdayakan","skills.card.enable":"Dayakan","skills.card.enableSuccess":"{skillName} kemahiran didayakan","skills.card.loadingContents":"Sedang memuatkan kandungan kemahiran…","skills.card.more":"Lebih banyak tindakan","skills.card.open":"Buka","skills.card.removeFailed":"Gagal menyahpasang kemahiran","skills.card.removeSuccess":"{skillName} kemahiran dinyahpasang","skills.card.toggleEnabledError":"Gagal mengemaskinikan kemahiran","skills.card.try":"Cuba","skills.card.trySkill":"Cuba kemahiran","skills.card.uninstall":"Nyahpasang","skills.hero.dotLabel":"Akses slaid {index}","skills.hero.next":"Penampilan ciri yang seterusnya","skills.hero.trySkill":"Cuba kemahiran","skills.page.createSkill":"Kemahiran baharu","skills.page.empty":"Tiada kemahiran ditemukan","skills.page.filteredEmpty":"Tiada kemahiran yang sepadan dengan penapis anda","skills.page.filteredEmptyDescription":"Cuba laraskan penapis carian atau skop anda","skills.page.heading":"Kemahiran","skills.page.loading":"Sedang memuatkan kemahiran…","skills.page.refreshSkills":"Segar semula","skills.page.refreshSkillsToUseNew":"Segar semula untuk menggunakan kemahiran baharu","skills.page.search":"Cari kemahiran","skills.page.search.label":"Cari kemahiran","skills.page.subheading":"Berikan adikuasa kepada Codex.<link>Ketahui lebih lanjut</link>","skills.preview.copyPrompt":"Salin gesaan","skills.preview.examplePrompt":"Contoh gesaan","skills.recommended.error":"Tidak dapat memuatkan kemahiran yang disyorkan","skills.recommended.install":"Pasang","skills.recommended.installSkill":"Pasang kemahiran","skills.recommended.installSuccess":"{skillName} kemahiran dipasang","skills.recommended.installed":"Dipasang","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Pentadbir dipasang","skills.scope.builtIn":"Sistem","skills.scope.personal":"Peribadi","skills.scope.repo":"Wadah","skills.scope.system":"Sistem","skills.scope.team":"Pasukan","skills.scope.user":"Pengguna","skills.section.installed":"Dipasang","skills.section.recommended":"Disyorkan","story.slidingToggle.existing":"Sedia ada","story.slidingToggle.fromLocal":"Daripada setempat","story.slidingToggle.new":"Baharu","story.slidingToggle.toLocal":"Kepada setempat","terminal.close":"Tutup terminal","terminal.title":"Terminal","thinkingShimmer.default":"Berfikir","threadEnvIcon.cloudTooltip":"Perbualan ini dijalankan dalam Codex Cloud.","threadEnvIcon.localTooltip":"Perbualan ini dijalankan secara setempat.","threadEnvIcon.worktreeTooltip":"Perbualan ini dijalankan dalam organisasi kerja git setempat.","threadHeader.archiveConfirmCancel":"Batal","threadHeader.archiveConfirmConfirm":"Arkib","threadHeader.copySessionId":"Salin ID sesi","threadHeader.copyWorkingDirectory":"Salin direktori kerja","threadHeader.forkIntoLocal":"Capah kepada setempat","threadHeader.forkIntoWorktree":"Capah kepada direktori kerja baharu","threadHeader.forkPendingWorktreePrompt":"Capah perbualan ini menjadi direktori kerja baharu.","threadHeader.forkPendingWorktreeTitle":"Perbualan yang dicapah","threadHeader.forkThreadError":"Gagal mencapahkan urutan","threadHeader.forkThreadRequiresGitRepo":"Pencapahan kepada direktori kerja baharu memerlukan wadah git","threadHeader.moreActions":"Tindakan urutan","threadPage.newThread":"Urutan baharu","threadPage.runAction.changeEnvironment":"Ubah persekitaran","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} tindakan","threadPage.runAction.environmentSelector.label":"Pilih persekitaran","threadPage.runAction.label":"Jalankan","threadPage.runAction.missing.label":"Sediakan tindakan pelaksanaan","threadPage.runAction.setup.commandLabel":"Perintah untuk dijalankan","threadPage.runAction.setup.description":"Beritahu Codex cara memasang kebergantungan dan memulakan apl anda.","threadPage.runAction.setup.editMore":"Tetapan persekitaran","threadPage.runAction.setup.placeholder":"mis: npm pasang npm jalankan","threadPage.runAction.setup.submit":"Simpan dan jalankan","threadPage.runAction.setup.title":"Jalankan","threadPage.runAction.tooltip.withEnvironment":"{environmentName} tindakan","threadPage.toggleDiffPanel":"Togol panel perbezaan","threadPage.toggleTerminal":"Togol terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Buka folder","toolSummaryForCmd.exploredFiles":"Fail <verb>yang disenaraikan</verb>","toolSummaryForCmd.exploredFilesInPath":"Fail <verb>yang disenaraikan</verb> dalam {path}","toolSummaryForCmd.exploringFiles":"<verb>Menyenaraikan</verb> fail","toolSummaryForCmd.exploringFilesInPath":"<verb>Menyenaraikan</verb> fail dalam {path}","toolSummaryForCmd.ranGenericCommand":"<status>Telah menjalankan perintah</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Telah menjalankan</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Baca</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Sedang menjalankan perintah</status>{timer}","toolSummaryForCmd.runningTimer":"untuk {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Mencari</verb> {query} ","toolSummaryForCmd.searchedForFiles":"<verb>Mencari</verb> fail","toolSummaryForCmd.searchedForInPath":"<verb>Mencari</verb> {query} dalam {path}","toolSummaryForCmd.searchingFor":"<verb>Sedang mencari</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Sedang mencari</verb> fail","toolSummaryForCmd.searchingForInPath":"<verb>Sedang mencari</verb> {query} dalam {path}","traceRecording.startDetails.cancel":"Batal","wham.diff.addComment":"Tambah ulasan","wham.diff.binaryFile":"Fail Perduaan tidak dipaparkan","wham.diff.noContent":"Tiada kandungan","wham.fileTag.deleted":"Dipadamkan","wham.fileTag.new":"Baharu","wham.formattedRelativeDateTime.compactDaysAgo":"{value}h","wham.formattedRelativeDateTime.compactHoursAgo":"{value}j","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}bln","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}m","wham.formattedRelativeDateTime.compactYearsAgo":"{value}t","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Sedang melakukan tugas anda","wham.whamProposedTask.title":"Tugas yang dicadangkan","wham.whamProposedTask.useSuggestion":"Gunakan cadangan","workspaceRootDialog.addError":"Gagal menambahkan projek","workspaceRootDialog.cancel":"Batal","workspaceRootDialog.confirmAdd":"Tambah projek","workspaceRootDialog.confirmPick":"Gunakan projek","workspaceRootDialog.description":"Masukkan laluan pada {host} untuk digunakan sebagai projek.","workspaceRootDialog.pathLabel":"Laluan projek","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Tambah laluan projek","workspaceRootDialog.title.pick":"Pilih laluan projek","worktreeInitV2.cancel":"Batal","worktreeInitV2.notification.failedTitle":"Persediaan organisasi pekerjaan gagal","worktreeInitV2.output.empty":"Sedang menunggu output…","worktreeInitV2.status.error":"Persediaan organisasi pekerjaan gagal.","worktreeInitV2.status.running":"Sedang mencipta organisasi pekerjaan dan menjalankan persediaan.","worktreeInitV2.status.runningFork":"Sedang mencipta direktori kerja untuk mencapah perbualan ini.","worktreeInitV2.status.success":"Organisasi pekerjaan sudah sedia.","worktreeInitV2.title":"Sedang mencipta organisasi kerja","worktreeInitV2.workLocallyInstead":"Bekerja secara setempat sebaliknya","worktreeRestoreBanner.body":"Direktori kerja urutan ini telah dialih keluar untuk menjimatkan ruang cakera","worktreeRestoreBanner.missing.body":"Direktori bekerja urutan ini tidak lagi wujud","worktreeRestoreBanner.missing.title":"Direktori bekerja semasa tiada","worktreeRestoreBanner.restore.error":"Gagal memulihkan direktori kerja: {message}","worktreeRestoreBanner.restore.success":"Direktori kerja dipulihkan","worktreeRestoreBanner.restoreCta":"Pulihkan direktori kerja","worktreeRestoreBanner.title":"Direktori kerja telah dibersihkan"};Object.assign(a,globalThis.codexI18nOverrides?.["ms-MY"]);export{a as default};
 //# sourceMappingURL=ms-MY-C1jQJsxS.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"ကူးယူရန်","app.sidebar.hide":"ဘေးဘား ဝှက်ပါ","app.sidebar.show":"ဘေးဘား ပြပါ","app.sidebar.tooltip":"ဘေးဘား ဖွင့်၊ ပိတ်ရန်","appHeader.installUpdate":"အပ်ဒိတ်လုပ်ရန်","appSunset.body":"အက်ပ်၏ ဤဗားရှင်းကို ပံ့ပိုးမပေးတော့ပါ။ နောက်ဆုံးထွက်ဗားရှင်းကို <here>ဤနေရာ</here>တွင် ဒေါင်းလုဒ်လုပ်ပါ။","appSunset.title":"အပ်ဒိတ်လုပ်ရန် လိုအပ်သည်","automation.updateDirective.create":"ဖန်တီးရန်","automation.updateDirective.open":"ဖွင့်ရန်","automation.updateDirective.untitled":"ခေါင်းစဉ်မဲ့ အလိုအလျောက် စနစ်","automation.updateDirective.update":"အပ်ဒိတ်လုပ်ရန်","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {ကြိုးစားမှု#ကြိမ်}}","cloudTaskRow.archiveError":"လုပ်ဆောင်စရာကို သိမ်းဆည်းရန် မအောင်မြင်ပါ။","code.diff.requestChange":"ပြောင်းလဲရန် တောင်းဆိုပါ","code.diffComment.cancel":"ပယ်ဖျက်ရန်","code.diffComment.comment":"မှတ်ချက်","code.diffComment.delete":"ဖျက်ရန်","code.diffComment.save":"သိမ်းရန်","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"တွေ့ရှိချက်များကို အစီရင်ခံတင်ပြခြင်း မရှိပါ။","codex.alert.closeAriaLabel":"ပိတ်ရန်","codex.appUpsellBanner.cbpApi.message":"Codex အက်ပ်နဲ့ ပိုမြန်မြန်တည်ဆောက်ပါ။ အခုပဲ ဒေါင်းလုဒ်လုပ်ပါ သို့မဟုတ် {learnMoreLink}။","codex.appUpsellBanner.download":"ဒေါင်းလုဒ် လုပ်ရန်","codex.appUpsellBanner.freeGo.message":"Codex ကို မတ်လ 2 ရက်နေ့အထိ သင့်အစီအစဉ်မှာ ထည့်သွင်းထားပါတယ်။ ပိုမြန်မြန်တည်ဆောက်ဖို့ Codex အက်ပ်ကို စမ်းသုံးကြည့်ပါ။","codex.appUpsellBanner.later":"နောက်ပိုင်း","codex.appUpsellBanner.learnMoreLowercase":"ပိုမိုသိရှိရန်","codex.appUpsellBanner.new":"အသစ်","codex.appUpsellBanner.proPlusBusiness.message":"ဧပြီလ 2 ရက်နေ့အထိ 2x rate ကန့်သတ်ချက်များဖြင့် Codex အက်ပ်ကို စမ်းသုံးကြည့်ပါ။ ယခုပဲ ဒေါင်းလုဒ်လုပ်ပါ သို့မဟုတ် {learnMoreLink}။","codex.appUpsellBanner.title":"Codex အက်ပ်","codex.applyDropdown.header.changes":"အပြောင်းအလဲများ","codex.applyDropdown.header.fileCount":"{count, plural, other {# ဖိုင်}}","codex.applyDropdown.header.rows":"အတန်းများ","codex.applyDropdown.header.title":"ပြောင်းလဲမှုများကို ကျင့်သုံးရန်","codex.applyDropdown.header.workspace":"ပရောဂျက်","codex.applyDropdown.results.conflicted":"{count, plural, other {ဖိုင် {count}ဖိုင် ပဋိပက္ခဖြစ်နေသည်-}}","codex.applyDropdown.results.empty":"ဖိုင်များ ကူးယူထားခြင်း မရှိပါ","codex.applyDropdown.results.skipped":"{count, plural, other {ဖိုင် {count}ဖိုင် ကို ကျော်သွားခဲ့သည်-}}","codex.applyOrRevertBanner.apply":"ကျင့်သုံးရန်","codex.applyOrRevertBanner.applyMessage":"ပြောင်းလဲမှုများကို ကျင့်သုံးပြီး ဒေသတွင်းတွင် ဆက်လက်လုပ်ဆောင်မည်လား။","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ဤအလုပ်တာဝန်ကို {environment} တွင် ပြုလုပ်ခဲ့သောကြောင့် သန့်ရှင်းစွာ မကျင့်သုံးနိုင်ပါ။","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment} တွင် ပြုလုပ်ခဲ့သော ပြောင်းလဲမှုများ ဖြစ်သောကြောင့် သန့်ရှင်းစွာ မကျင့်သုံးနိုင်ပါ။","codex.applyOrRevertBanner.reapply":"ပြန်လည် ကျင့်သုံးရန်","codex.applyOrRevertBanner.revert":"မူလ အတိုင်းပြန်ပြောင်းရန်","codex.applyOrRevertBanner.revertMessage":"ကျင့်သုံးထားသော ပြောင်းလဲမှုများကို ပြန်ပြောင်းမလား။","codex.applyResultsDialog.applied":"သန့်ရှင်းစွာ ကျင့်သုံးထားသည် ({count})","codex.applyResultsDialog.close":"ပိတ်ရန်","codex.applyResultsDialog.conflicted":"ပဋိပက္ခ ဖြစ်နေသည် ({count})","codex.applyResultsDialog.noDetails":"ဖိုင်အသေးစိတ် အချက်အလက်များ မရရှိနိုင်ပါ။","codex.applyResultsDialog.skipped":"ကျော်ခဲ့သည်({count})","codex.applyResultsDialog.title":"ရလဒ်များကို ကျင့်သုံးရန်","codex.archiveInfo":"{dataControlsLink}တွင် စုစည်းသိမ်းဆည်းထားသော ချတ်များကို ကြည့်ပါ။","codex.archiveInfo.dataControlsLink":"ဒေတာ ထိန်းချုပ်မှုများ","codex.archiveInfo.electron":"{settingsLink}တွင် စုစည်းသိမ်းဆည်းထားသော  ချတ်များကို ကြည့်ပါ","codex.archiveInfo.extension":"သင့်ရဲ့ .codex ဖိုဒါ ထဲမှာ စုစည်းသိမ်းဆည်းထားသည့် ချတ်တွေကို ကြည့်လိုက်ပါ။","codex.archiveInfo.settingsLink":"ဆက်တင်များ","codex.banner.content.description":"အလုပ်တာဝန်များကို တစ်ပြိုင်နက်တည်းလုပ်ဆောင်ပါ၊ တိုးတက်မှုကို မည်သည့်နေရာတွင်မဆို ခြေရာခံပြီး AI ဖြင့် PR များကို ပြန်လည်သုံးသပ်ပါ။","codex.banner.content.headline":"Codex သည် အရာအားလုံးကို လုပ်ဆောင်ပါသည်။","codex.cloudTaskRow.archiveTask":"အလုပ်တာဝန် စုစည်းသိမ်းဆည်းရန်","codex.cloudTaskRow.confirmArchiveTask":"အတည်ပြုရန်","codex.command.feedback":"အကြံပြုချက်","codex.command.findInThread":"ရှာဖွေရန်","codex.command.forceReloadSkills":"အတင်းအကြပ် ပြန်လည်ဖြည့်သွင်းခြင်း စွမ်းရည်များ","codex.command.logOut":"အကောင့်မှထွက်ရန်","codex.command.manageTasks":"အလုပ်များကို စီမံပါ","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"နောက်သို့","codex.command.navigateForward":"​ရှေ့သို့","codex.command.newThread":"Thread အသစ်","codex.command.nextThread":"နောက် thread","codex.command.openFolder":"ဖိုလ်ဒါဖွင့်ပါ","codex.command.openSkills":"ကျွမ်းကျင်မှုများသို့ သွားရန်","codex.command.openThreadOverlay":"Thread ကို ပွင့်အောင်လုပ်ပါ","codex.command.personalitySettings":"ကိုယ်ရည်ကိုယ်သွေး","codex.command.previousThread":"ယခင် thread","codex.command.settings":"ဆက်တင်များ","codex.command.toggleDiffPanel":"ကွဲပြားမှု panel ကို ဖွင့်၊ ပိတ်ရန်","codex.command.toggleSidebar":"ဘေးဘား ဖွင့်၊ ပိတ်ရန်","codex.command.toggleTerminal":"တာမင်နယ် ဖွင့်၊ ပိတ်ရန်","codex.commandGroup.app":"အက်ပ်","codex.commandGroup.configure":"ပြုပြင်မွမ်းမံရန်","codex.commandGroup.navigation":"လမ်းညွှန်ခြင်း","codex.commandGroup.panels":"ပင်နယ်များ","codex.commandGroup.skills":"ကျွမ်းကျင်မှုများ","codex.commandGroup.thread":"Thread","codex.commandGroup.workspace":"ပရောဂျက်","codex.commandMenu.noResults":"ကိုက်ညီမှုမရှိပါ","codex.commandMenu.searchPlaceholder":"command များ ရှာဖွေရန်","codex.commandMenu.suggestedGroup":"အကြံပြုထားသော","codex.commandMenu.switchWorkspace":"ပရောဂျက်ကို ပြောင်းပါ","codex.commandMenu.title":"command မီနူး","codex.common.retry":"ထပ်မံကြိုးစားပါ","codex.composer.searchBranches":"အခွဲများကို ရှာဖွေရန်","codex.dialog.basic.body":"၎င်းသည် Radix ဒိုင်ယာလော့ဂ် ပတ်လည်ရှိ wrapper ကို အသုံးပြုသည့် ရိုးရှင်းသော modal ဒိုင်ယာလော့ဂ် တစ်ခုဖြစ်သည်။","codex.dialog.basic.cancel":"ပယ်ဖျက်ရန်","codex.dialog.basic.confirm":"အတည်ပြုရန်","codex.dialog.basic.open":"ဒိုင်ယာလော့ဂ် ဖွင့်ပါ","codex.dialog.basic.title":"နမူနာ ဒိုင်ယာလော့ဂ်","codex.dialog.long.close":"ပိတ်ရန်","codex.dialog.long.line":"ဒိုင်ယာလော့ဂ် အတွင်းရှိ အကြောင်းအရာရှည်ကို ပြသရန် လှိမ့်နိုင်သော လိုင်း {index}။","codex.dialog.long.open":"ရှည်လျားသော ဒိုင်ယာလော့ဂ်ကို ဖွင့်ပါ","codex.dialog.long.title":"ရှည်လျားသော အကြောင်းအရာ ဒိုင်ယာလော့ဂ်","codex.dialog.unstyled.body":"ဤဇာတ်လမ်းသည် ဖုန်းခေါ်ဆိုသူများသည် ဒိုင်ယာလော့ဂ် အကြောင်းအရာပုံစံကို မည်သို့ အပြည့်အဝ ထိန်းချုပ်နိုင်ကြောင်း ပြသထားသည်။","codex.dialog.unstyled.open":"ပုံစံမပါတဲ့ ဒိုင်ယာလော့ဂ်ကို ဖွင့်ပါ","codex.dialog.unstyled.title":"ပုံစံမပါတဲ့ အကြောင်းအရာ","codex.diff.openInEditorPrompt.openButton":"Editor တွင် ဖွင့်ရန်","codex.diff.openInEditorPrompt.singleLine":"ဤဖိုင်သည် ဤနေရာတွင် ပြသရန် အလွန်ကြီးလွန်းပါသည်။","codex.diffView.failedToDecodeBase64Diff":"base64 ကွဲပြားမှုကို ကုဒ်ဖြည်၍မရပါ","codex.diffView.filesChanged":"{fileCount, plural, other {ဖိုင် # ဖိုင် ပြောင်းလဲခဲ့သည်}}","codex.diffView.imagePreviewAlt":"ရုပ်ပုံ အစမ်းကြည့်ရှုခြင်း","codex.diffView.imagePreviewEmpty":"ပုံမရှိပါ","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"ကွဲပြားမှုဒေတာ မရှိပါ","codex.diffView.pdfPreview.nextPage":"နောက်စာမျက်နှာ","codex.diffView.pdfPreview.pageIndicator":"{total} ခုလျှင် {current}ခု","codex.diffView.pdfPreview.previousPage":"အရှေ့စာမျက်နှာ","codex.diffView.pdfPreviewEmpty":"PDF နမူနာကြည့်ရန် မရှိပါ","codex.diffView.pdfPreviewError":"PDF နမူနာကြည့်ရန်ကို ပြသ၍မရပါ","codex.diffView.richPreviewDisable":"ကြွယ်ဝသော အစမ်းကြည့်ရှုမှုကို ပိတ်ပါ","codex.diffView.richPreviewEnable":"ကြွယ်ဝသော အစမ်းကြည့်ရှုမှုကို ဖွင့်ပါ","codex.diffView.richPreviewLoading":"နမူနာကြည့်ရန် လုပ်ဆောင်နေသည်","codex.diffView.richPreviewToggle":"ကြွယ်ဝသော အစမ်းကြည့်ရှုမှုကို ဖွင့်၊ ပိတ်ရန်","codex.diffView.switchToUnified":"Unified ကွဲပြားမှုသို့ပြောင်းပါ","codex.environmentSelector.noEnvironment":"ပတ်ဝန်းကျင် မရှိပါ","codex.environments.environmentSettings":"ပတ်ဝန်းကျင် ဆက်တင်များ","codex.environments.learnMore":"ပိုမိုသိရှိရန်","codex.environments.listError":"ပတ်ဝန်းကျင်များကို ဖွင့်၍မရပါ","codex.environments.noEnvironmentsFound":"ပတ်ဝန်းကျင်များ ရှာမတွေ့ပါ","codex.environments.searchError":"ပတ်ဝန်းကျင်များကို ရှာဖွေခြင်း မအောင်မြင်ပါ။","codex.errorBoundary.genericError":"အိုး၊ အမှားတစ်ခု ဖြစ်ပွားခဲ့သည်။","codex.errorBoundary.goHome":"ထပ်မံလုပ်ဆောင်ကြည့်ပါ","codex.file.patch.missing":"ဤဖိုင်အတွက် patch တည်ဆောက်၍မရပါ။","codex.gallery.automations.cwdLabel":"စီမံကိန်းများ","codex.gallery.automations.nameLabel":"အမည်","codex.gallery.automations.namePlaceholder":"အလုပ်တာဝန် တစ်ခုကို အကျဉ်းချုပ်ပါ","codex.gallery.automations.promptLabel":"တုံ့ပြန်ညွှန်ကြားချက်","codex.gallery.automations.promptPlaceholder":"Codex ဘာလုပ်သင့်လဲဆိုတာ ရှင်းပြပါ","codex.gallery.dialogs.automation.label":"အလိုအလျောက် လုပ်ဆောင်ခြင်း ဒိုင်ယာလော့ဂ်","codex.gallery.dialogs.basic.body":"ရိုးရှင်းသော အတည်ပြုချက်များ သို့မဟုတ် တိုတောင်းသော ပုံစံများအတွက် ဤအပြင်အဆင်ကို အသုံးပြုပါ။","codex.gallery.dialogs.basic.cancel":"ပယ်ဖျက်ရန်","codex.gallery.dialogs.basic.confirm":"အတည်ပြုရန်","codex.gallery.dialogs.basic.label":"အခြေခံ ဒိုင်ယာလော့ဂ်","codex.gallery.dialogs.basic.title":"နမူနာ ဒိုင်ယာလော့ဂ်","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"ပြဿနာကို ဖော်ပြပါ…","codex.gallery.dialogs.feedbackSubmission.bad":"ရလဒ်မကောင်း","codex.gallery.dialogs.feedbackSubmission.bug":"ချို့ယွင်းချက်","codex.gallery.dialogs.feedbackSubmission.good":"ရလဒ်ကောင်း","codex.gallery.dialogs.feedbackSubmission.includeLogs":"လက်ရှိ Codex ဆက်ရှင် log များကို ထည့်သွင်းပါ။","codex.gallery.dialogs.feedbackSubmission.label":"တုံ့ပြန်ချက် တင်သွင်းခြင်း","codex.gallery.dialogs.feedbackSubmission.other":"အခြား","codex.gallery.dialogs.feedbackSubmission.placeholder":"ပြဿနာကို ဤနေရာတွင် ဖော်ပြပါ။","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"ဘေးကင်းရေးစစ်ဆေးမှု","codex.gallery.dialogs.feedbackSubmission.submit":"ပေးပို့ရန်","codex.gallery.dialogs.feedbackSubmission.title":"အကြံပြုချက်","codex.gallery.dialogs.feedbackSuccess.body":"တုံ့ပြန်ချက်ကို အပ်လုဒ်လုပ်ပြီးပါပြီ။ ပြဿနာ ဆက်ရှိနေပါက GitHub ပြဿနာတစ်ခုကို ဖွင့်ပါ သို့မဟုတ် ရှိပြီးသား ပြဿနာတွင် thread id ကို ဖော်ပြပါ။","codex.gallery.dialogs.feedbackSuccess.dismiss":"ပယ်ဖြုတ်ရန်","codex.gallery.dialogs.feedbackSuccess.label":"တုံ့ပြန်ချက် အောင်မြင်မှု","codex.gallery.dialogs.feedbackSuccess.title":"အကြံပြုချက် အပ်လုဒ်တင်ခဲ့သည်","codex.gallery.dialogs.gitApplyResults.applied":"သန့်ရှင်းစွာ ကျင့်သုံးထားသည် (2)","codex.gallery.dialogs.gitApplyResults.close":"ပိတ်ရန်","codex.gallery.dialogs.gitApplyResults.conflicted":"ပဋိပက္ခ ဖြစ်နေသည် (1)","codex.gallery.dialogs.gitApplyResults.label":"ရလဒ်များကို ကျင့်သုံးရန်","codex.gallery.dialogs.gitApplyResults.title":"ရလဒ်များကို ကျင့်သုံးရန်","codex.gallery.dialogs.gitPushError.body":"remote history ကို ထပ်ထပ်ရေးရန်ဘေးကင်းကြောင်း သင်သိပါက နောက်ဆုံးပြောင်းလဲမှုများကို pull လုပ်ပါ သို့မဟုတ် force push လုပ်ပါ။","codex.gallery.dialogs.gitPushError.cancel":"ပယ်ဖျက်ရန်","codex.gallery.dialogs.gitPushError.force":"Push ကို ဇွတ်အတင်းတင်ခြင်း","codex.gallery.dialogs.gitPushError.label":"တွန်းပို့မှု အမှား","codex.gallery.dialogs.gitPushError.subtitle":"သင့်အခွဲက မူရင်း/ပင်မရဲ့ နောက်မှာ ရှိနေပါတယ်။","codex.gallery.dialogs.gitPushError.title":"အပြောင်းအလဲများကို တွန်းပို့ရန် ပျက်ကွက်ခဲ့သည်","codex.gallery.dialogs.gitRevert.cancel":"ပယ်ဖျက်ရန်","codex.gallery.dialogs.gitRevert.confirm":"မူလ အတိုင်းပြန်ပြောင်းရန်","codex.gallery.dialogs.gitRevert.label":"ပြောင်းလဲမှုများကို မူလ အတိုင်းပြန်ပြောင်းရန်","codex.gallery.dialogs.gitRevert.skip":"နောက်ထပ်မမေးပါနဲ့","codex.gallery.dialogs.gitRevert.subtitle":"ဤလုပ်ဆောင်ချက်သည် ဤပြောင်းလဲမှု အားလုံးကို ဖယ်ရှားပါသည်။","codex.gallery.dialogs.gitRevert.title":"ပြောင်းလဲမှုများကို ပြန်ပြင်မလား။","codex.gallery.dialogs.longForm.label":"ရှည်လျားသောပုံစံ ဒိုင်ယာလော့ဂ်","codex.gallery.dialogs.proseModal.body":"ဤ modal စတိုင်ကို ရှည်လျားသော ညွှန်ကြားချက်များ၊ စတင်အသုံးပြုခြင်း သို့မဟုတ် content အချက်အလက်များစွာ ပါဝင်သည့် block များအတွက် အသုံးပြုပါသည်။","codex.gallery.dialogs.proseModal.close":"ပိတ်ရန်","codex.gallery.dialogs.proseModal.subtitle":"ပိုမိုရှည်လျားသော လမ်းညွှန်ချက် သို့မဟုတ် စာရွက်စာတမ်းများကို ဤနေရာတွင် မျှဝေပါ။","codex.gallery.dialogs.proseModal.title":"စကားပြေပုံစံ","codex.gallery.dialogs.submitBlocked.label":"တင်သွင်းမှုကို ပိတ်ဆို့ထားသည်","codex.gallery.dialogs.submitBlocked.message":"ပရောဂျက်ကို ရရှိနိုင်ခြင်းမရှိသောကြောင့် သင့်မက်ဆေ့ချ်ကို ပို့၍မရပါ။","codex.gallery.dialogs.submitBlocked.ok":"အိုကေ","codex.gallery.dialogs.submitBlocked.title":"မက်ဆေ့ချ်ပို့၍ မရပါ","codex.gallery.dialogs.title":"ဒိုင်ယာလော့ဂ်များ","codex.gallery.dropdown.filterPlaceholder":"စစ်ထုတ်ပစ္စည်းများ","codex.gallery.dropdowns.actionRow":"လုပ်ဆောင်ချက်တန်းများ","codex.gallery.dropdowns.actionRow.disabled":"မသန်စွမ်း လုပ်ဆောင်ချက်","codex.gallery.dropdowns.actionRow.primary":"အဓိက လုပ်ဆောင်ချက်","codex.gallery.dropdowns.actionRow.secondary":"ဒုတိယလုပ်ဆောင်ချက်","codex.gallery.dropdowns.actionRow.trigger":"လုပ်ဆောင်ချက်များကို ပြပါ","codex.gallery.dropdowns.basic":"အခြေခံ dropdown","codex.gallery.dropdowns.basic.newFile":"ဖိုင်အသစ်","codex.gallery.dropdowns.basic.newFolder":"ဖိုင်တွဲအသစ်","codex.gallery.dropdowns.basic.openSettings":"ဆက်တင်များကို ဖွင့်ပါ","codex.gallery.dropdowns.basic.title":"အမြန်လုပ်ဆောင်ချက်များ","codex.gallery.dropdowns.basic.trigger":"မီနူးကိုဖွင့်ရန်","codex.gallery.dropdowns.basic.upload":"အပ်လုဒ်တင်ရန်","codex.gallery.dropdowns.panel":"ပန်နယ်မျက်နှာပြင်","codex.gallery.dropdowns.panel.apply":"ကျင့်သုံးရန်","codex.gallery.dropdowns.panel.body":"ကွဲပြားမှုများကို ပြန်လည်သုံးသပ်ပြီး သင့်ပရောဂျက်တွင် အသုံးချပါ။","codex.gallery.dropdowns.panel.preview":"နမူနာကြည့်ရန်","codex.gallery.dropdowns.panel.title":"ပြောင်းလဲမှုများကို ကျင့်သုံးရန်","codex.gallery.dropdowns.panel.trigger":"ပန်နယ်ကို ဖွင့်ပါ","codex.gallery.dropdowns.search":"ရှာဖွေနိုင်သော dropdown","codex.gallery.dropdowns.search.first":"အယ်လ်ဖာ ချန်နယ်","codex.gallery.dropdowns.search.second":"ဘီတာအခွဲ","codex.gallery.dropdowns.search.third":"ကိုယ်စားလှယ်လောင်းကို လွှတ်ပေးပါ","codex.gallery.dropdowns.search.trigger":"စစ်ထုတ်ပစ္စည်းများ","codex.gallery.dropdowns.submenu":"မီနူးအခွဲပါသော ဒရော့ချ်ဒေါင်း","codex.gallery.dropdowns.submenu.optionA":"ပရောဂျက် အယ်လ်ဖာ","codex.gallery.dropdowns.submenu.optionB":"ပရောဂျက် ဘီတာ","codex.gallery.dropdowns.submenu.optionC":"ပရောဂျက် ဂါမာ","codex.gallery.dropdowns.submenu.primary":"ပိုင်ရှင် သတ်မှတ်ရန်","codex.gallery.dropdowns.submenu.secondary":"ရွှေ့ရန်","codex.gallery.dropdowns.submenu.tertiary":"စုစည်းသိမ်းဆည်းမှု","codex.gallery.dropdowns.submenu.trigger":"လုပ်ဆောင်ချက်ကို ရွေးချယ်ပါ","codex.gallery.dropdowns.title":"Dropdowns များ","codex.gallery.inbox.automations.close":"ပိတ်ရန်","codex.gallery.inbox.automations.popover.cardTitle":"အလိုအလျောက်စနစ်များ စီမံရန်","codex.gallery.inbox.automations.popover.dialogTitle":"အလိုအလျောက်စနစ်များ စီမံရန်","codex.header.settingsTooltip":"ဆက်တင်များ","codex.hunk.patch.error":"Stage လုပ်ခြင်း မအောင်မြင်ပါ","codex.hunk.patch.missing":"ဒီကောင်အတွက် patch တည်ဆောက်လို့ မရဘူး။","codex.hunk.patch.partialSuccess":"တစ်စိတ်တစ်ပိုင်း အောင်မြင်မှု။","codex.hunk.patch.revertError":"Unstage လုပ်ခြင်း မအောင်မြင်ပါ","codex.hunk.patch.revertSuccess":"အောင်မြင်စွာ Unstage လုပ်ခဲ့သည်","codex.hunk.patch.success":"အောင်မြင်စွာ Stage လုပ်ခဲ့သည်","codex.legal.autonomy.details":"အသေးစိတ် အချက်အလက်များ အတွက် {link} ကိုကြည့်ပါ","codex.legal.autonomy.details.link":"Codex စာရွက်စာတမ်းများ","codex.legal.autonomy.title":"သင်မည်မျှ ကိုယ်ပိုင် အုပ်ချုပ်ခွင့် ပေးလိုသည်ကို ဆုံးဖြတ်ပါ","codex.legal.backButton":"နောက်သို့","codex.legal.cloud.taskOne.meta":"openai/agi · အောက်တိုဘာ 12","codex.legal.cloud.taskOne.title":"ဒီဇိုင်နာ အသစ်အား ကုဒ်သိမ်းဆည်းမှု အကြောင်းရှင်းပြပါ","codex.legal.cloud.taskThree.meta":"openai/codex · အောက်တိုဘာ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"အမှောင်မုဒ် နောက်ခံပုံစံ ဖန်တီးပါ","codex.legal.cloud.taskTwo.meta":"openai/agi · အောက်တိုဘာ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"စတင်အသုံးပြုခြင်း မှားယွင်းမှုကို ပြင်ရန်","codex.legal.continue.apikey":"ဆက်ရန်","codex.legal.continueButton":"ရှေ့သို့သွားရန်","codex.legal.copilot.details":"မော်ဒယ်ခေါ်ဆိုမှုများ၊ ငွေတောင်းခံလွှာများနှင့် နှုန်းထားကန့်သတ်ချက် အားလုံး အတွက် သင်၏ Copilot အစီအစဉ်ကို သုံးသည်။ Codex အိတ်စတန်းရှင်း သုံးစွဲမှုသည် {oaiTos} နှင့် {gitHubTos} နှစ်ခုလုံးနှင့် သက်ဆိုင်သည်။","codex.legal.copilot.gitHubTosLink":"GitHub ဝန်ဆောင်မှု စည်းမျဉ်းများ","codex.legal.copilot.oaiTosLink":"OpenAI Codex ဝန်ဆောင်မှု စည်းမျဉ်းများ","codex.legal.copilot.title":"GitHub Copilot မှ ပံ့ပိုးပေးသည်","codex.legal.mistakes.review":"၎င်းရေးသားပြီး ၎င်းလုပ်ဆောင်သော ကုဒ်ကို ပြန်လည်သုံးသပ်ပါ","codex.legal.mistakes.title":"Codex သည် အမှားများ ပြုလုပ်နိုင်သည်","codex.legal.powered.details":"သင်၏ အစီအစဉ်၏ နှုန်းထား ကန့်သတ်ချက်များနှင့် {link} ကို သုံးသည်","codex.legal.powered.details.link":"လေ့ကျင့်ရေး ဒေတာ ဦးစားပေးမှုများ","codex.legal.powered.title":"သင်၏ ChatGPT အကောင့်မှ ပံ့ပိုးပေးသည်","codex.legal.step.cloud.subtitle":"သင်ပိုမို အာရုံစူးစိုက်နိုင်ပြီး ပိုမိုမြန်ဆန်စွာ အလုပ်ပြီးနိုင်ဖို့ နောက်ခံတွင် လုပ်ဆောင်ရန် Codex သို့ အလုပ်များပေးပို့ပါ။","codex.legal.step.cloud.title":"Cloud ရှိ Codex သို့ လွှဲပြောင်းပါ","codex.legal.step.intro.subtitle":"Codex သည် သင်၏ repo တွင် တိုက်ရိုက်လမ်းညွှန်ခြင်း၊ တည်းဖြတ်ခြင်း၊ command များလုပ်ဆောင်ခြင်းနှင့် စမ်းသပ်မှုများကို လုပ်ဆောင်သည်။ သင်၏ ChatGPT အကောင့်မှ ပံ့ပိုးပေးသည်။","codex.legal.step.intro.title":"သင်၏ IDE ရှိ Codex","codex.legal.step.todo.subtitle":"TODO မှတ်ချက်တစ်ခုရေးပြီး ကလစ် တစ်ချက်နှိပ်ရုံဖြင့် Codex အလုပ်တစ်ခု အဖြစ် ပြောင်းလဲပါ။","codex.legal.step.todo.title":"TODO များကို Codex အလုပ်တာဝန်များ အဖြစ်သို့ ပြောင်းလဲပါ","codex.legal.todo.heading":"// TODO: schema ကို အကောင်အထည်ဖော်ပါ","codex.localConversation.closeImagePreview":"ပုံအစမ်းကြည့်ရှုခြင်းကို ပိတ်ပါ","codex.localConversation.userImageAttachment":"သုံးစွဲသူ ပူးတွဲဖိုင်","codex.localTaskRow.archiveTask":"Thread စုစည်းသိမ်းဆည်းမှု","codex.localTaskRow.awaitingApproval":"ခွင့်ပြုချက်ကို စောင့်ဆိုင်းနေသည်","codex.localTaskRow.awaitingResponse":"တုံ့ပြန်မှု စောင့်နေသည်","codex.localTaskRow.confirmArchiveTask":"အတည်ပြုရန်","codex.loggedOut.apiKeyPrompt.cancel":"ပယ်ဖျက်ရန်","codex.loggedOut.apiKeyPrompt.confirm":"အိုကေ","codex.loggedOut.apiKeyPrompt.getKey":"API Key ရယူပါ","codex.loggedOut.apiKeyPrompt.inputLabel":"သင့် OpenAI API Key ကို ရိုက်ထည့်ပါ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API Key ဖြင့် Cloud အလုပ်တာဝန်များကို ပိတ်ထားသည်","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot နှင့် API Key ဖြင့် Cloud အလုပ်တာဝန်များကို ပိတ်ထားသည်","codex.loggedOut.signIn":"ChatGPT ဖြင့် ဝင်ရောက်ပါ","codex.loggedOut.signIn.cancel":"အကောင့်ဝင်ခြင်းကို ပယ်ဖျက်ပါ","codex.loggedOut.signInWithCopilot":"GitHub Copilot ဖြင့် အကောင့်ဝင်ပါ","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API Key ကို သုံးပါ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ကိရိယာ","codex.mcpTool.collapsedLabel.verb.called":"ခေါ်ဆိုထားသည်","codex.mcpTool.collapsedLabel.verb.calling":"ခေါ်နေသည်","codex.mcpTool.embeddedResource.contentLabel":"အကြောင်းအရာ","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME အမျိုးအစား","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ကိရိယာက အကြောင်းအရာ ပြန်မပို့ပါ","codex.mcpTool.rawPayloadHeading":"{server}.{tool} ကိရိယာခေါ်ဆိုမှု payload","codex.menu.recent":"လတ်တလော","codex.menu.seeAllHistory":"မှတ်တမ်းအားလုံးကိုကြည့်ပါ","codex.modelCapacityBanner.headline.noReset":"{modelName}သည် ယခုအချိန်တွင် သုံးနိုင်မှု ပြည့်နေပါပြီ။ ထပ်လုပ်ဆောင်ကြည့်ပါ သို့မဟုတ် အခြားမော်ဒယ်နှင့် စကားဝိုင်း အသစ်တစ်ခု စတင်ပါ။","codex.modelCapacityBanner.headline.withReset":"{modelName}သည် ယခုအချိန်တွင် သုံးနိုင်မှု ပြည့်နေပါပြီ။ နောက်မှ ထပ်ကြိုးစားပါ။{resetDate}သို့မဟုတ် အခြားမော်ဒယ်နှင့် စကားဝိုင်း အသစ်တစ်ခု စတင်ပါ။","codex.modelCapacityBanner.title":"ရွေးချယ်ထားသော မော်ဒယ်သည် သုံးနိုင်မှု ပြည့်နေပါပြီ။ ","codex.patch.change.contentsDeleted":"အကြောင်းအရာများ ဖျက်ပြီးပါပြီ","codex.patch.change.created":"ဖန်တီးထားသော","codex.patch.change.created-file":"ဖိုင်ဖန်တီးပြီးပါပြီ","codex.patch.change.creating":"ဖန်တီးနေသည်","codex.patch.change.deleted":"ဖျက်ပြီးပါပြီ","codex.patch.change.deleted-file":"ဖိုင်ဖျက်လိုက်ပါပြီ","codex.patch.change.deleting":"ဖျက်နေသည်","codex.patch.change.edited":"တည်းဖြတ်ပြီး","codex.patch.change.edited-file":"တည်းဖြတ်ပြီး ဖိုင်","codex.patch.change.editing":"တည်းဖြတ်ခြင်း","codex.patch.change.noChanges":"အပြောင်းအလဲများ မရှိပါ","codex.patch.change.rejected-add":"ငြင်းဆိုထားသည်","codex.patch.change.rejected-delete":"ငြင်းဆိုထားသည်","codex.patch.change.rejected-edit":"ငြင်းဆိုထားသည်","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"ပြီးစီးသွားသော အလုပ် {total} ခုအနက် {completed} ခု","codex.plan.todoListCreated":"လုပ်ဆောင်ရန် စာရင်းကို အလုပ်တာဝန်{total} ခုဖြင့် ဖန်တီးထားသည်","codex.profileDropdown.apiKeyAuth":"API key ဖြင့် ဝင်ရောက်ထားသည်","codex.profileDropdown.codexSettings":"Codex ဆက်တင်များ","codex.profileDropdown.copilotAuth":"Copilot ဖြင့် ဝင်ရောက်ထားသည်","codex.profileDropdown.defaultAccountTitle":"ပုံသေ အကောင့်","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter ဖြင့် ရှည်လျားသော ညွှန်ကြားချက်များ ပေးပို့ပါ","codex.profileDropdown.enterBehaviorError":"ဆက်တင်များကို အပ်ဒိတ်လုပ်ခြင်း မအောင်မြင်ပါ","codex.profileDropdown.getPlus":"ပိုမိုမြင့်မားသော ကန့်သတ်ချက်များအတွက် အဆင့်မြှင့်တင်ပါ","codex.profileDropdown.keyboardShortcuts":"ကီးဘုတ် ရှော့တ်ကတ်များ","codex.profileDropdown.language":"ဘာသာစကား","codex.profileDropdown.languageDefault":"အလိုအလျောက်-ဖမ်းယူပါ","codex.profileDropdown.languageSearchPlaceholder":"ဘာသာစကားများကို ရှာဖွေပါ","codex.profileDropdown.languageUpdateError":"ဘာသာစကားကို အပ်ဒိတ်လုပ်၍မရပါ","codex.profileDropdown.logOut":"အကောင့်မှထွက်ရန်","codex.profileDropdown.mcp":"MCP ဆက်တင်များ","codex.profileDropdown.openConfigToml":"config.toml ကိုဖွင့်ပါ","codex.profileDropdown.openConfigToml.wsl":"WSL ပတ်ဝန်းကျင်တွင် config.toml ကိုဖွင့်ပါ","codex.profileDropdown.openExtensionSettings":"ဆက်တင်များကို ဖွင့်ပါ","codex.profileDropdown.openMcpSettings":"MCP ဆက်တင်များကို ဖွင့်ပါ","codex.profileDropdown.openOnStartup":"စတင်ချိန်တွင် ဖွင့်ပါ","codex.profileDropdown.openOnStartupError":"ဆက်တင်များကို အပ်ဒိတ်လုပ်ခြင်း မအောင်မြင်ပါ","codex.profileDropdown.openSkillsSettings":"ကျွမ်းကျင်မှုဆက်တင်များကို ဖွင့်ပါ","codex.profileDropdown.personalAccountTitle":"ကိုယ်ပိုင် အကောင့်","codex.profileDropdown.queueFollowUps":"နောက်ဆက်တွဲ တန်းစီခြင်း","codex.profileDropdown.queueFollowUpsError":"ဆက်တင်များကို အပ်ဒိတ်လုပ်ခြင်း မအောင်မြင်ပါ","codex.profileDropdown.readDocs":"စာရွက်စာတမ်းများကို ဖတ်ပါ","codex.profileDropdown.readSkillsDocs":"စာရွက်စာတမ်းများကို ဖတ်ပါ","codex.profileDropdown.runInWsl":"WSL တွင်လုပ်ဆောင်ပါ","codex.profileDropdown.runInWslError":"ဆက်တင်များကို အပ်ဒိတ်လုပ်ခြင်း မအောင်မြင်ပါ","codex.profileDropdown.runInWslTooltip":"WSL အတွင်းတွင် Codex ကို လုပ်ဆောင်ပါ။ sandbox လုံခြုံရေး ပိုမိုကောင်းမွန်လာစေရန်နှင့် ပိုမိုကောင်းမွန်သော စွမ်းဆောင်ရည် အတွက် အကြံပြုအပ်ပါသည်။","codex.profileDropdown.settings":"IDE ဆက်တင်များ","codex.profileDropdown.settingsPage":"ဆက်တင်များ","codex.profileDropdown.signInWithOpenAI":"ChatGPT ဖြင့် ဝင်ရောက်ပါ","codex.profileDropdown.skills":"ကျွမ်းကျင်မှုဆက်တင်များ","codex.profileDropdown.switchToCopilotAccount":"Copilot အကောင့်ကို သုံးပါ","codex.profileDropdown.switchToOpenAIAccount":"OpenAI အကောင့်ကို သုံးပါ","codex.profileDropdown.todoCodelens":"TODO မှတ်ချက်များကို ပြင်ဆင်ပါ","codex.profileDropdown.todoCodelensError":"ဆက်တင်များကို အပ်ဒိတ်လုပ်ခြင်း မအောင်မြင်ပါ","codex.profileDropdown.windowsDocumentation":"Windows စာရွက်စာတမ်း","codex.profileFooter.signedInFallback":"ဆက်တင်များ","codex.profileFooter.upgrade":"အဆင့်မြှင့်ပါ","codex.recentTasksMenu.clearSearch":"ရှာဖွေမှုကို ရှင်းပါ","codex.recentTasksMenu.cloud":"Cloud အလုပ်တာဝန်များ","codex.recentTasksMenu.count":"{count, plural, =0 {လုပ်ဆောင်ဆဲ အလုပ်တာဝန်များ မရှိပါ} other {အလုပ်တာဝန် # ခု လုပ်ဆောင်နေသည်}}","codex.recentTasksMenu.empty":"thread များ မရှိသေးပါ","codex.recentTasksMenu.errorCloud":"အလုပ်တာဝန်များ ဖွင့်၍မရပါ။","codex.recentTasksMenu.errorCloud.inline":"cloud အလုပ်တာဝန်များ တင်၍မရပါ။","codex.recentTasksMenu.filterAll":"အားလုံး","codex.recentTasksMenu.filterCloudTasks":"cloud အလုပ်တာဝန်များကို စစ်ထုတ်ပါ","codex.recentTasksMenu.filterTooltip":"ပတ်ဝန်းကျင်အလိုက် တာဝန်များကို စစ်ထုတ်ပါ","codex.recentTasksMenu.local":"ဒေသတွင်း အလုပ်တာဝန်များ","codex.recentTasksMenu.recent":"အလုပ်တာဝန်များ အားလုံး","codex.recentTasksMenu.search":"မကြာသေးမီက အလုပ်တာဝန်များကို ရှာဖွေပါ","codex.recentTasksMenu.searchEmpty":"ရလဒ်အဖြေများ မရှိပါ","codex.recentTasksMenu.tooltip":"အလုပ်တာဝန် မှတ်တမ်း","codex.recentTasksMenu.trigger":"မကြာသေးမီက အလုပ်တာဝန်များ။ {count, plural, other {#ကို လုပ်ဆောင်နေသည်}}","codex.remoteConversation.applyDiff.applyCta":"ပြောင်းလဲမှုများကို ကျင့်သုံးရန်","codex.remoteConversation.applyDiff.dropdownTitle":"ဒေသခံဌာနခွဲသို့ ပြောင်းလဲမှုများကို ကျင့်သုံးရန်","codex.remoteConversation.applyDiff.revertCta":"ပြောင်းလဲမှုများကို မူလ အတိုင်းပြန်ပြောင်းရန်","codex.remoteConversation.closeImagePreview":"ပုံအစမ်းကြည့်ရှုခြင်းကို ပိတ်ပါ","codex.remoteConversation.codexCloudTask":"သင်သည် <u>Codex cloud</u> အလုပ်တာဝန်ကို ကြည့်ရှုနေပါသည်။","codex.remoteConversation.errorWithMessage":"အမှား- {message}","codex.remoteConversation.loadingImage":"ရုပ်ပုံ ဖွင့်နေသည်","codex.remoteConversation.openInWeb":"ဝဘ်တွင်ဖွင့်ပါ","codex.remoteConversation.streaming":"စတင် အသုံးပြုခြင်း","codex.remoteConversation.turnFailed":"ဤအလုပ်တာဝန် အတွင်း အမှားတစ်ခု ဖြစ်ပွားခဲ့သည်","codex.remoteConversation.turnTab.loading":"ကြိုးစားမှု {number}","codex.remoteConversation.turnTab.title":"ကြိုးစားမှု {number}","codex.remoteConversation.userImageAttachment":"သုံးစွဲသူ ပူးတွဲဖိုင်","codex.remoteConversation.viewPreviousTurns":"ဝဘ်တွင်ဖွင့်ပါ","codex.remoteConversation.viewPreviousTurns.buttonText":"ဖွင့်ရန်","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ဝဘ်တွင်ဖွင့်ပါ","codex.review.copyGitApplyCommand":"git apply command ကို ကူးယူပါ","codex.review.copyGitApplyCommand.toast":"git apply command ကို ကလစ်ဘုတ်သို့ ကူးယူပြီးပါပြီ","codex.review.diffTooLarge.description":"ဤကွာခြားချက်သည် ပြန်လည်သုံးသပ်ခြင်းတွင် ပြသရန် အလွန်ကြီးလွန်းပါသည်။","codex.review.diffTooLarge.title":"ကွာခြားချက် ပြသရန် အလွန်ကြီးလွန်းသည်","codex.review.expandOrCollapseDiffButton.collapse":"ကွဲပြားမှုများ အားလုံး ချုံ့ရန်","codex.review.expandOrCollapseDiffButton.expand":"ကွဲပြားမှုများ အားလုံး ချဲ့ရန်","codex.review.expandOrCollapseDiffMenu.collapse":"ကွဲပြားမှုများ အားလုံး ချုံ့ရန်","codex.review.expandOrCollapseDiffMenu.expand":"ကွဲပြားမှုများ အားလုံး ချဲ့ရန်","codex.review.fileSearch.clear":"ဖိုင်စစ်ထုတ်မှုကို ရှင်းပါ","codex.review.fileSearch.empty":"လက်ရှိစစ်ထုတ်မှုနှင့် ကိုက်ညီသော ဖိုင်မရှိပါ","codex.review.fileSearch.label":"ဖိုင်များကို စစ်ထုတ်ပါ","codex.review.fileSearch.placeholder":"ဖိုင်များကို စစ်ထုတ်ပါ…","codex.review.filesChanged":"{num, plural, =0 {ဖိုင်များ ပြောင်းလဲမှု မရှိပါ} other {ဖိုင် # ဖိုင် ပြောင်းလဲခဲ့သည်}}","codex.review.find.loadMore":"ကိုက်ညီမှုများကို ပိုမို လုပ်ဆောင်ပါ","codex.review.fullReview.hideFileTree":"ဖိုင်သစ်ပင်ကို ဝှက်ပါ","codex.review.fullReview.showFileTree":"ဖိုင်သစ်ပင်ကို ပြရန်","codex.review.header.moreOptions":"ပြန်လည်သုံးသပ်ချက် ရွေးချယ်စရာများ","codex.review.largeDiff.banner":"ကြီးမားသော ကွာခြားချက်ကို တွေ့ရှိသည် — တစ်ကြိမ်လျှင် ဖိုင်တစ်ခုသာ ပြသနေသည်။","codex.review.loadFullFiles.disable":"ဖိုင်အပြည့် မလုပ်ဆောင်ပါနဲ့","codex.review.loadFullFiles.enable":"ဖိုင်အပြည့် လုပ်ဆောင်ရန်","codex.review.noDiff":"ကုဒ်ပြောင်းလဲမှုများကို ဤနေရာတွင် ပေါ်လာပါမည်","codex.review.noDiff.gitInit.createRepository":"git repository ဖန်တီးပါ","codex.review.noDiff.gitInit.creating":"ဖန်တီးနေသည်…","codex.review.noDiff.gitInit.error":"Git init မအောင်မြင်ပါ - {message}","codex.review.noDiff.gitInit.success":"Git ကုဒ်သိမ်းဆည်းမှု ဖန်တီးခဲ့သည်","codex.review.noDiff.gitRepoRequired.description":"ဤပရောဂျက်တွင် ပြောင်းလဲမှုများကို ခြေရာခံပြီး ပြန်လည်ပြင်ဆင်ပါ","codex.review.noDiff.gitRepoRequired.title":"Git ကုဒ်သိမ်းဆည်းမှု တစ်ခု ဖန်တီးပါ","codex.review.noDiff.orNoLongerAvailable":"သို့မဟုတ် နောက်ဆုံးပေါ် ကွဲပြားမှုများကို ရရှိနိုင်တော့မည် မဟုတ်ပါ","codex.review.noDiff.reverted":"နောက်ဆုံးအလှည့်ကို ပြန်လှည့်လိုက်ပါပြီ","codex.review.noDiff.revertedOrCommitted":"နောက်ဆုံးအလှည့်ကို ပြန်ပြောင်းထားသည် သို့မဟုတ် ကတိပြုထားသည်","codex.review.refreshGitQueries":"ပြန်စဖွင့်ရန်","codex.review.revert.file.error":"{path}ကို မူလအတိုင်းပြန်ပြောင်းမရနိုင်ပါ","codex.review.revert.file.partialSuccess":"{path}ကို တစ်စိတ်တစ်ပိုင်း မူလအတိုင်းပြန်ပြောင်းခဲ့သည်","codex.review.revert.file.success":"{path}ကို မူလအတိုင်းပြန်ပြောင်းခဲ့သည်","codex.review.revert.hunk.error":"hunk {hunkNumber}ကို {path}တွင် ပြန်ပြောင်း၍မရခဲ့ပါ။","codex.review.revert.hunk.partialSuccess":"hunk {hunkNumber} ကို {path}တွင် တစ်စိတ်တစ်ပိုင်း မူလအတိုင်းပြန်ပြောင်းခဲ့သည်","codex.review.revert.hunk.success":" hunk {hunkNumber} ကို {path}တွင် မူလအတိုင်းပြန်ပြောင်းခဲ့သည်","codex.review.revert.section.error":"အပိုင်းကို ပြန်ပြောင်း၍မရပါ","codex.review.revert.section.partialSuccess":"အပိုင်းကို တစ်စိတ်တစ်ပိုင်း ပြန်ပြောင်းထားသည်","codex.review.revert.section.success":"အပိုင်းကို ပြန်ပြောင်းထားသည်","codex.review.revertDialog.cancel":"ပယ်ဖျက်ရန်","codex.review.revertDialog.confirm":"အတည်ပြုရန်","codex.review.revertDialog.message":"ဤလုပ်ဆောင်ချက်သည် ဤပြောင်းလဲမှု အားလုံးကို ဖယ်ရှားပါသည်။","codex.review.revertDialog.skip":"နောက်ထပ်မမေးပါနဲ့","codex.review.revertDialog.title":"ပြောင်းလဲမှုများကို ပြန်ပြင်မလား။","codex.review.richPreview.disable":"ကြွယ်ဝသော အစမ်းကြည့်ရှုမှုကို ပိတ်ပါ","codex.review.richPreview.enable":"ကြွယ်ဝသော အစမ်းကြည့်ရှုမှုကို ဖွင့်ပါ","codex.review.source.cloud":"မိုးတိမ် ပြောင်းလဲမှုများ","codex.review.source.local.all":"အခွဲ အားလုံး ပြောင်းလဲမှုများ","codex.review.source.local.lastTurn":"နောက်ဆုံး အလှည့်အပြောင်းများ","codex.review.source.local.uncommitted":"commit မလုပ်ထားသော ပြောင်းလဲမှုများ","codex.review.source.worktree":"Commit မလုပ်ထားသော worktree ပြောင်းလဲမှုများ","codex.review.stageFilter.empty.staged.description":"အဆင့်မြှင့်တင်ရန် တည်းဖြတ်မှုများကို လက်ခံပါ","codex.review.stageFilter.empty.staged.title":"အဆင့်ဆင့် ပြောင်းလဲမှုများ မရှိပါ","codex.review.stageFilter.empty.unstaged.description":"ကုဒ်ပြောင်းလဲမှုများကို ဤနေရာတွင် ပေါ်လာပါမည်","codex.review.stageFilter.empty.unstaged.title":"မစီစဉ်ထားသော ပြောင်းလဲမှုများ မရှိပါ","codex.review.stageFilter.staged":"Stage လုပ်ခဲ့သည်","codex.review.stageFilter.staged.count":"Staged · {count}","codex.review.stageFilter.unstaged":"Stage မလုပ်ခဲ့ပါ","codex.review.stageFilter.unstaged.count":"Unstaged · {count}","codex.review.switchToSplit":"ပိုင်းခြား ကွဲပြားမှုသို့ ပြောင်းပါ","codex.review.switchToUnified":"Unified ကွဲပြားမှုသို့ပြောင်းပါ","codex.review.toggleDiffView":"ကွဲပြားမှုမြင်ကွင်းကို ပြောင်းပါ","codex.review.wordDiffs.disable":"စကားလုံးကွဲပြားမှုများကို ပိတ်ပါ","codex.review.wordDiffs.enable":"စကားလုံးကွဲပြားမှုများကို ဖွင့်ပါ","codex.review.wrap.disable":"စကားလုံးထုပ်ပိုးမှုကို ပိတ်ပါ","codex.review.wrap.enable":"စကားလုံးထုပ်ပိုးမှုကို ဖွင့်ပါ","codex.section.patch.missing":"ဤအပိုင်းအတွက် patch တည်ဆောက်၍မရပါ။","codex.shell.collapse":"shell ချုံ့ပါ","codex.shell.commandLine":"{command} ဒေါ်လာ","codex.shell.copy.copiedTooltip":"ကူးယူထားသော shell အကြောင်းအရာများ","codex.shell.copy.copyTooltip":"shell အကြောင်းအရာများကို ကူးယူပါ","codex.shell.copyCommand":"အမိန့် ကူးယူရန်","codex.shell.copyOutput":"အထွက် မိတ္တူကူးရန်","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"shell ကို ချဲ့ပါ","codex.shell.name":"Shell","codex.shell.noOutput":"ကွန်ပျူတာမှထုတ်ပေးသည့်အချက်အလက်များ မရှိပါ","codex.signInFailed.message":"အကောင့်ဝင်ခြင်း မအောင်မြင်ပါ-{rawMessage}","codex.stories.toast.show":"အသိပေးစာ ပြရန်","codex.stories.tooltip.basic":"ဒါက tooltip ပါ။","codex.stories.tooltip.hoverMe":"Cursor နဲ့ တစ်နေရာမှာ အနည်းငယ်ရပ်ထားပါ","codex.stories.tooltip.largerOffset":"ဒီ tooltip မှာ offset ပိုကြီးပါတယ်။","codex.stories.tooltip.offsetButton":"ပိုကြီးသော offset","codex.stories.tooltip.shortcutButton":"ရှော့တ်ကတ် နှင့်အတူ","codex.stories.tooltip.withShortcut":"တာမင်နယ် ဖွင့်၊ ပိတ်ရန်","codex.taskRow.title":"Thread အသစ်","codex.taskRowLayout.confirm":"အတည်ပြုရန်","codex.threadFindBar.chatFilter":"ချတ်များ ရှာဖွေရန်","codex.threadFindBar.close":"ရှာဖွေမှုကို ပိတ်ပါ","codex.threadFindBar.diffFilter":"ကွာခြားချက်များ ရှာဖွေရန်","codex.threadFindBar.label":"thread တွင် ရှာပါ","codex.threadFindBar.nextResult":"နောက်ထပ် ရလဒ်","codex.threadFindBar.noResults":"ရလဒ်အဖြေများ","codex.threadFindBar.placeholder":"thread ကို ရှာဖွေပါ…","codex.threadFindBar.placeholder.extension":"thread ကို ရှာဖွေပါ…","codex.threadFindBar.placeholder.review":"ကွာခြားချက်များ ရှာဖွေရန်...","codex.threadFindBar.placeholder.review.extension":"ကွာခြားချက်များ ရှာဖွေရန်...","codex.threadFindBar.previousResult":"ယခင် ရလဒ်","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {ဖိုင် # ဖိုင် ပြောင်းလဲခဲ့သည်}}","codex.unifiedDiff.inlineLargeFile":"လိုင်းအတွင်း ပြသရန် အလွန်ကြီးလွန်းပါသည်","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"ပြင်ထားသည်ကိုဖျက်ရန်","codex.unifiedDiff.revertPatchError":"ပြောင်းလဲမှုများကို ပြန်ပြောင်း၍မရပါ","codex.unifiedDiff.revertPatchSuccess":"ပြောင်းလဲမှုများကို ပြန်ပြောင်းပြီးပါပြီ","codex.unifiedDiff.reviewChangesSuffix":"အပြောင်းအလဲများ","codex.unifiedDiff.reviewShort":"ပြန်လည်သုံးသပ်ရန်","codex.unifiedDiff.viewDiffTooltip":"ပြန်လည်သုံးသပ်ရန်","codex.upsellBanner.business.headline":"ယခု ပိုမို ဝင်သုံးခွင့်ရရှိရန် သင့်စီမံသူထံ တောင်းဆိုချက် တစ်ခုပေးပို့ပါ သို့မဟုတ် {resetDate}အထိ စောင့်ပါ","codex.upsellBanner.cbp.headline":"ယခု ပိုမို ဝင်ရောက်ခွင့်ရရန် သင့်စီမံသူထံ တောင်းဆိုချက် တစ်ခုပေးပို့ပါ။","codex.upsellBanner.cta.addCredits":"ခရက်ဒစ်များ ထည့်ရန်","codex.upsellBanner.cta.upgradeAccount":"အဆင့်မြှင့်ပါ","codex.upsellBanner.cta.viewUsage":"သုံးစွဲမှုကို ကြည့်ပါ","codex.upsellBanner.free.trialHeadline":"သင့်ကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါမည်။ Codex ကို ဆက်လက် အသုံးပြုရန်နှင့် GPT-5.3-Codex ကို ဝင်သုံးခွင့် အတွက် Plus ၏ အခမဲ့အစမ်းသုံးမှုကို ယနေ့စတင်ပါ။","codex.upsellBanner.freeOrGo.headline":"သင့်နှုန်းထားကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါမည်။ Codex ကို ဆက်လက်အသုံးပြုရန် ယနေ့ Plus သို့ အဆင့်မြှင့်တင်ပါ။","codex.upsellBanner.general.headline":"သင့်နှုန်းထားကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါမည်။","codex.upsellBanner.general.title":"သင့်တွင် Codex မက်ဆေ့ချ်များ ကုန်သွားပြီ","codex.upsellBanner.go.trialHeadline":"သင့်ကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါသည်။ Codex ကို ဆက်သုံးရန် ယနေ့ Plus ၏ အခမဲ့အစမ်းသုံးမှုကို စတင်ပါ။","codex.upsellBanner.plus.headline":"သင့်နှုန်းထားကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါမည်။ Codex ကို ဆက်လက်အသုံးပြုရန် ခရက်ဒစ်များထည့်ပါ သို့မဟုတ် ယနေ့ Pro သို့ အဆင့်မြှင့်တင်ပါ။","codex.upsellBanner.pro.headline":"သင့်နှုန်းထားကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါမည်။ Codex ကို ယခု ဆက်လက်အသုံးပြုရန် ခရက်ဒစ်များထည့်ပါ။","codex.userMessage.autoResolveSync":"ပဋိပက္ခများကို အလိုအလျောက်ဖြေရှင်းပါ","codex.userMessage.commentCount":"{count, plural, other {မှတ်ချက် # ခု}}","codex.userMessage.copiedAriaLabel":"ကူးယူပြီးပါပြီ","codex.userMessage.copiedTooltip":"ကူးယူပြီးပါပြီ","codex.userMessage.copyAriaLabel":"မက်ဆေ့ချ် ကူးယူရန်","codex.userMessage.copyTooltip":"ကူးယူရန်","codex.userMessage.implementPlan":"အစီအစဉ်ကို အကောင်အထည်ဖော်ပါ","codex.userMessage.noContent":"အကြောင်းအရာမရှိပါ","codex.userMessage.priorConversation":"ယခင် စကားပြောဆိုမှုဆိုင်ရာကိုးကားချက်များ ","codex.userMessage.reviewMode":"ပြန်လည်သုံးသပ်ခြင်းမုဒ်","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} အတွက်","codex.webSearch.summary.verb.completed":"ဝဘ်ကို ရှာဖွေထားသည်","codex.webSearch.summary.verb.inProgress":"ဝဘ်ကို ရှာဖွေနေသည်","codex.windowsInstallWslBanner.dismiss":"ပယ်ဖြုတ်ရန်","codex.windowsInstallWslBanner.installWslCta":"sandbox ကိုဖွင့်ပါ","codex.windowsInstallWslBanner.learnMore":"ပိုမိုသိရှိရန်","codex.windowsSandboxBanner.content":"အေးဂျင့်မုဒ်သည် ဖိုင်စနစ်နှင့် ကွန်ရက်ဝင်ရောက်ခွင့်ကို ကန့်သတ်ရန် Windows တွင် စမ်းသပ် sandbox တစ်ခုကို အသုံးပြုသည်။{sandboxLink}","codex.windowsSandboxBanner.title":"Agent မုဒ်အတွက် sandbox ကိုဖွင့်ပါ","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows ဆက်တင်များ","codexUpgradeModal.body":"နောက်ဆုံးပေါ် ကုဒ်ရေးသားခြင်း အေးဂျင့် မော်ဒယ် — ပိုမိုစမတ်ကျ၊ ပိုမိုမြန်ဆန်ပြီး အထွေထွေ နည်းပညာဆိုင်ရာ လုပ်ငန်းများတွင် ပိုမိုစွမ်းဆောင်နိုင်ပါသည်။ {link}","codexUpgradeModal.close":"ပိတ်ရန်","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"ပိုမိုသိရှိရန်","codexUpgradeModal.title":"GPT-5.3-Codex-Max ကို မိတ်ဆက်ခြင်း","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex ကို ယခုပဲ စမ်းသုံးကြည့်ပါ","codexUpgradeModal.useExistingModel":"လက်ရှိမော်ဒယ်ဖြင့် ဆက်လုပ်ပါ","commentAttachments.numComments":"{count, plural, other {မှတ်ချက် # ခု}}","commentAttachments.removeAriaLabel":"မှတ်ချက်များ ပူးတွဲဖိုင်ကို ဖယ်ရှားပါ","common.close":"ပိတ်ရန်","composer.addContext.openFilePickerError":"ဖိုင်ရွေးချယ်သည့်ကိရိယာကို ဖွင့်၍မရပါ","composer.addContextDropdown.ariaLabel":"ဖိုင်များနှင့် အခြားအရာများကို ထည့်ရန်","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ဖိုင်များနှင့် အခြားအရာများကို ထည့်ရန်","composer.addPhotosAndFiles":"ဓာတ်ပုံများနှင့် ဖိုင်များ ထည့်ရန်","composer.atMentionList.emptyQuery":"ဖိုင်များရှာဖွေရန် ရိုက်ထည့်ပါ","composer.atMentionList.loading":"ဖိုင်များကို ရှာဖွေနေသည်…","composer.atMentionList.noResults":"ရလဒ်အဖြေများ မရှိပါ","composer.attemptsSelector.option":"{count, plural, other {ဗားရှင်း#ခု}}","composer.attemptsSelector.tooltip":"Codex မှ ပြုလုပ်ရန် ပြိုင်တူကြိုးပမ်းမှု အရေအတွက်","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"{count, plural, other {ဂိတ် # ခု}}ကို လုပ်ဆောင်နေသည်","composer.backgroundTerminals.stop":"ရပ်ရန်","composer.cleanBackgroundTerminals.error":"နောက်ခံ တာမီနယ်များကို ရပ်တန့်၍မရပါ။","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"ဒေသတွင်း","composer.cloudFollowUp.whereRun":"ဤနောက်ဆက်တွဲကို မည်သည့်နေရာတွင် လုပ်ဆောင်သင့်သနည်း။","composer.cloudTaskCreationError":"cloud အလုပ်တာဝန် ဖန်တီးရာတွင် အမှားအယွင်း","composer.cloudTaskError":"အလုပ်တာဝန် ဖန်တီးရာတွင် အမှားအယွင်း","composer.contextWindow.autoCompactionTooltipLine1":"Codex သည် ၎င်း၏ context ကို အလိုအလျောက် ကျစ်လစ်စေသည်","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"ဆက်စပ်အကြောင်းအရာ ဝင်းဒိုး-","composer.contextWindowUsageStatusFull":"{usage}% ပြည့်နေသည်","composer.contextWindowUsageStatusLeft":"{usage}% အသုံးပြုပြီး ({remaining}% ကျန်)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k တိုကင်များ အသုံးပြုပြီး","composer.customCliTooltip":"စိတ်ကြိုက် CLI executable ကိုသုံးနေသည်","composer.dictation.aria":"စကားမှ စာသားသို့","composer.dictation.cancel.aria":"အသံဖြင့်ပြောသည်ကိုရေးခြင်း ရပ်ရန်","composer.dictation.cancel.tooltip":"အသံဖြင့်ပြောသည်ကိုရေးခြင်း ရပ်ရန်","composer.dictation.startError":"အသံဖြင့်ပြောသည်ကိုရေးခြင်းကို စတင်၍မရပါ","composer.dictation.submit.aria":"ကူးယူပြီး ပေးပို့ပါ","composer.dictation.submit.tooltip":"ကူးယူပြီး ပေးပို့ပါ","composer.dictation.tooltip":"စကားမှ စာသားသို့ပြောင်းရန် နှိပ်ထားပါ","composer.dictation.transcribeError":"အသံကို စာသားအဖြစ် ပြောင်းလဲ၍မရပါ","composer.dictation.unsupported":"ဤစက်တွင် အသံဖြင့်ပြောသည်ကိုရေး၍မရပါ","composer.dropOverlay.holdShift":"ပစ်ချရန် {key} ကို ဖိထားပါ။","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"အသစ် ဖန်တီးရန်","composer.environmentSelector.error":"ပတ်ဝန်းကျင်ကို လုပ်ဆောင်ရာတွင် အမှားအယွင်းရှိသည်","composer.environmentSelector.goBack":"composer သို့ ပြန်သွားပါ","composer.environmentSelector.title":"ပတ်ဝန်းကျင်ကို ရွေးချယ်ရန်","composer.environmentSelector.tooltip":"Cloud ပတ်ဝန်းကျင်ကို ရွေးချယ်ပါ","composer.feedbackSlashCommand.title":"အကြံပြုချက်","composer.filePicker.selectFile":"ဖိုင်တစ်ခု ရွေးချယ်ပါ","composer.filePicker.selectFiles":"ဖိုင် ​ရွေးချယ်ရန်...","composer.followerTooltip":"ဆက်လုပ်ရန် ဤစကားဝိုင်းစတင်ခဲ့သည့် ဝင်းဒိုးသို့ ပြန်သွားပါ။","composer.footer.branchSwitch.checkoutError":"ဘဏ်ခွဲပြောင်း၍မရပါ- {message}","composer.footer.branchSwitch.createAndCheckout":"ဘဏ်ခွဲအသစ်တစ်ခု ဖန်တီးပြီး ငွေရှင်းရန်…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"ဘဏ်ခွဲအသစ်တစ်ခု ဖန်တီးပြီး ငွေရှင်းရန် ပြောင်းလဲမှုများကို ကတိပြုပါ","composer.footer.branchSwitch.createBranchError":"အခွဲကို ဖန်တီး၍မရပါ - {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"အခွဲ နာမည်","composer.footer.branchSwitch.createDialog.branchExistsError":"ဘဏ်ခွဲရှိပြီးသားပါ။","composer.footer.branchSwitch.createDialog.close":"ပိတ်ရန်","composer.footer.branchSwitch.createDialog.createAndCheckout":"ဖန်တီးပြီး ငွေရှင်းရန်","composer.footer.branchSwitch.createDialog.placeholder":"ဘဏ်ခွဲအသစ်","composer.footer.branchSwitch.createDialog.title":"ဘဏ်ခွဲတစ်ခု ဖန်တီးပြီး ငွေရှင်းပါ","composer.footer.branchSwitch.createDialog.trailingSlashError":"ဘဏ်ခွဲအမည်ကို “/” ဖြင့် မအဆုံးသတ်ရ","composer.footer.branchSwitch.tooltip":"ဌာနခွဲပြောင်းပါ","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} ကိုစစ်ဆေးရန် {fileCount, plural, other {# ဖိုင်}} တွင်ပြောင်းလဲမှုများကိုအတည်ပြုပါ။","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} ကို ငွေရှင်းရန် {fileCount, plural, other {# ဖိုင်}} တွင် ပြောင်းလဲမှုများ ရှိသည်။","composer.footer.branchSwitch.uncommittedDialog.cancel":"ပယ်ဖျက်ရန်","composer.footer.branchSwitch.uncommittedDialog.commit":"commit လုပ်ပြီး အခွဲကိုပြောင်းပါ…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"အောက်ပါဖိုင်များ အပေါ် သင်၏ ပြောင်းလဲမှုများကို ငွေရှင်းခြင်းဖြင့် အစားထိုးသွားပါမည်-","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"ဆက်လုပ်ရန် သင့်ပြောင်းလဲမှုများကို Commit လုပ်လိုက်ပါ","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ရွေးထားသော အခွဲ","composer.footer.branchSwitch.uncommittedDialog.title":"switch branch သို့ ပြောင်းလဲမှုများကို commit လုပ်ပါ","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Commit မလုပ်ထားသော- {fileCount, plural, other {# ဖိုင်}}","composer.forkSlashCommand.description":"ဒီ thread ကို local သို့မဟုတ် worktree အသစ်ထဲ ခွဲထုတ်ပါ","composer.forkSlashCommand.option.local.description":"ဒေသတွင်း thread အသစ်တစ်ခုမှာ ဆက်လုပ်ပါ","composer.forkSlashCommand.option.local.title":"local ထဲသို့ ခွဲထုတ်ပါ","composer.forkSlashCommand.option.worktree.description":"worktree အသစ်တစ်ခုတွင် ဆက်လုပ်ပါ","composer.forkSlashCommand.option.worktree.title":"worktree ထဲသို့ ခွဲထုတ်ပါ","composer.forkSlashCommand.title":"ခွဲထုတ်ပါ","composer.ideContextIndicator":"IDE အကြောင်းအရာ","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"ရွေးချယ်မှု {br} ခု အခြေအနေနှင့် ဖွင့်ထားသောဖိုင်များကဲ့သို့သော IDE မှ အကြောင်းအရာများကို ထည့်ပါ။","composer.ideContextIndicator.tooltipToggle":"ဖွင့်၊ ပိတ်ရန်","composer.ideContextSlashCommand.disableDescription":"IDE နောက်ခံအကြောင်းအရာကို ပိတ်ပါ","composer.ideContextSlashCommand.enableDescription":"လက်ရှိရွေးချယ်မှု၊ ဖွင့်ထားသောဖိုင်များနှင့် သင့် IDE မှ အခြားနောက်ခံအကြောင်းအရာများကို ထည့်သွင်းပါ","composer.ideContextSlashCommand.title":"IDE အကြောင်းအရာ","composer.imageInputsUnsupported":"ဤမော်ဒယ်သည် ရုပ်ပုံထည့်သွင်းမှုများကို မပံ့ပိုးပါ။ အခြားမော်ဒယ်တစ်ခုကို စမ်းကြည့်ပါ။","composer.imageUploadFailed":"ပုံကို အပ်လုဒ်လုပ်၍မရပါ","composer.includeIdeContextDropdown":"IDE အကြောင်းအရာ ထည့်သွင်းပါ","composer.includeIdeContextDropdown.ariaLabel":"IDE အကြောင်းအရာ ထည့်သွင်းပါ","composer.localCwdDropdown.addWorkspaceRoot":"ပရောဂျက်အသစ်ထည့်ပါ","composer.localCwdDropdown.noActiveRoot":"သင့်ပရောဂျက်ကို ရွေးချယ်ပါ","composer.localCwdDropdown.noResults":"ဖိုဒါများ မတွေ့ပါ","composer.localCwdDropdown.title":"သင့်ပရောဂျက်ကို ရွေးချယ်ပါ","composer.localTaskError":"စကားဝိုင်း စတင်ရာတွင် အမှားအယွင်းရှိနေပါသည်","composer.mcpSlashCommand.description":"MCP ဆာဗာအခြေအနေကို ပြပါ","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"အထောက်အထား စိစစ်မထားပါ","composer.mcpStatus.authOauth":"အထောက်အထားစိစစ်ပြီး (OAuth)","composer.mcpStatus.authToken":"အထောက်အထားစိစစ်ပြီး (API ကီး)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"ပိတ်ရန်","composer.mcpStatus.disabled":"ပိတ်ထားသည်","composer.mcpStatus.emptyLabel":"ဆာဗာများ-","composer.mcpStatus.emptyValue":"MCP ဆာဗာများကို ပြင်ဆင်သတ်မှတ်ခြင်း မရှိပါ","composer.mcpStatus.enabled":"ဖွင့်ထားသည်","composer.mcpStatus.errorLabel":"အခြေအနေ-","composer.mcpStatus.errorValue":"MCP အခြေအနေကို တင်၍ မရပါ","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"အေးဂျင့်","composer.mode.agentMode.auto.dropdownLabel":"အေးဂျင့်","composer.mode.agentMode.auto.optionLabel":"အေးဂျင့်","composer.mode.agentMode.changePermission":"မော်ဒယ် ပြောင်းရန်","composer.mode.agentMode.custom":"စိတ်ကြိုက်","composer.mode.agentMode.custom.dropdownLabel":"စိတ်ကြိုက်","composer.mode.agentMode.custom.option":"စိတ်ကြိုက် (config.toml)","composer.mode.agentMode.custom.optionLabel":"စိတ်ကြိုက် (config.toml)","composer.mode.agentMode.customInfo.cancel":"ပယ်ဖျက်ရန်","composer.mode.agentMode.customInfo.cli":"CLI မှ သို့မဟုတ် ဖိုင်ကို တိုက်ရိုက် တည်းဖြတ်ခြင်းဖြင့် ထိုဆက်တင်များကို ချိန်ညှိနိုင်ပါသည်။","composer.mode.agentMode.customInfo.confirm":"စိတ်ကြိုက်မုဒ်ကို သုံးပါ","composer.mode.agentMode.customInfo.description":"စိတ်ကြိုက်မုဒ်သည် သင်၏ config.toml တွင် သတ်မှတ်ထားသော ခွင့်ပြုချက်နှင့် sandbox မူဝါဒများကို သုံးသည်<link>config.toml</link>ဖိုင်။","composer.mode.agentMode.customInfo.docs":"ခွင့်ပြုချက်နှင့် sandbox မူဝါဒများကို ပြင်ဆင်သတ်မှတ်ခြင်းအကြောင်း<link>execution environment docs တွင် ပိုမိုလေ့လာပါ။</link>.","composer.mode.agentMode.customInfo.refresh":"နောက်တစ်ကြိမ် အေးဂျင့် လည်ပတ်သည့်အခါ မည်သည့်ပြောင်းလဲမှုမဆို သက်ရောက်မှုရှိပါသည်။","composer.mode.agentMode.customInfo.title":"စိတ်ကြိုက်မုဒ် မည်သို့အလုပ်လုပ်သလဲ","composer.mode.agentMode.fullAccess":"အေးဂျင့် (အပြည့်အဝ ဝင်သုံးခွင့်)","composer.mode.agentMode.fullAccess.dropdownLabel":"အေးဂျင့် (အပြည့်အဝ ဝင်သုံးခွင့်)","composer.mode.agentMode.fullAccess.optionLabel":"အေးဂျင့် (အပြည့်အဝ ဝင်သုံးခွင့်)","composer.mode.agentMode.fullAccessConfirm.caution":"အပြည့်အဝ ဝင်သုံးခွင့်ကို ဖွင့်သည့်အခါ သတိထားပါ။ ၎င်းသည် ဒေတာ ဆုံးရှုံးမှု၊ ယိုစိမ့်မှု သို့မဟုတ် မမျှော်လင့်ထားသော အပြုအမူများ၏ အန္တရာယ်ကို သိသိသာသာ တိုးမြင့်စေသည်။","composer.mode.agentMode.fullAccessConfirm.confirm":"ဟုတ်ကဲ့၊ မည်သို့ပင်ဖြစ်စေ ဆက်လုပ်ပါ","composer.mode.agentMode.fullAccessConfirm.description":"Codex အပြည့်အဝ ဝင်သုံးခွင့်ဖြင့် လည်ပတ်သည့်အခါ သင့်ကွန်ပျူတာရှိ မည်သည့်ဖိုင်ကိုမဆို တည်းဖြတ်နိုင်ပြီး သင့်ခွင့်ပြုချက်မရှိဘဲ ကွန်ရက်ဖြင့် command များကို လုပ်ဆောင်နိုင်သည်။","composer.mode.agentMode.fullAccessConfirm.goBack":"ပယ်ဖျက်ရန်","composer.mode.agentMode.fullAccessConfirm.title":"အပြည့်အဝ ဝင်သုံးခွင့်ပြုလိုပါသလား။","composer.mode.agentMode.readOnly":"ချတ်","composer.mode.agentMode.readOnly.dropdownLabel":"ချတ်","composer.mode.agentMode.readOnly.optionLabel":"ချတ်","composer.mode.agentMode.tooltip":"မော်ဒယ် ပြောင်းရန်","composer.mode.agentMode.tooltip.auto":"ဖိုင်များကို ဖတ်ရှုပြီး တည်းဖြတ်ပါ၊ command များကို လုပ်ဆောင်ပါ။","composer.mode.agentMode.tooltip.custom":"config.toml တွင် သတ်မှတ်ထားသော နောက်ဆုံးပေါ် ခွင့်ပြုချက်နှင့် sandbox မူဝါဒများကို သုံးပါ။","composer.mode.agentMode.tooltip.fullAccess":"Codex သည် ပရောဂျက်ပြင်ပရှိ ဖိုင်များကို တည်းဖြတ်နိုင်ပြီး ကွန်ရက် ဝင်သုံးခွင့်ဖြင့် command များကို လုပ်ဆောင်နိုင်သည်။ အသုံးပြုသည့်အခါ သတိထားပါ။","composer.mode.agentMode.tooltip.readOnly":"ဖိုင်များကို တည်းဖြတ်ရန်နှင့် command များကို လုပ်ဆောင်ရန် ခွင့်ပြုချက် လိုအပ်ပါသည်။","composer.mode.cloud.tooltip":"Cloud ပတ်ဝန်းကျင်တွင် အလုပ်လုပ်ပါ","composer.mode.contactAdmin":"ပိုမိုဝင်ရောက်ခွင့်ရရှိရန်၊ သင့် admin ကို ဆက်သွယ်ပါ။","composer.mode.local":"ဒေသတွင်း","composer.mode.local.learnMore":"ပိုမိုသိရှိရန်","composer.mode.local.model.custom":"စိတ်ကြိုက်","composer.mode.local.model.loadingModel":"မော်ဒယ်ကို တင်နေသည်","composer.mode.local.model.selecrReasoningEffort":"စဉ်းစားတွေးခေါ်ပုံကို ရွေးချယ်ရန်","composer.mode.local.model.selectModel":"မော်ဒယ် ရွေးရန်","composer.mode.local.model.tooltip":"မော်ဒယ် ရွေးချယ်ပါ","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"မြင့်","composer.mode.local.reasoning.low.label":"နိမ့်","composer.mode.local.reasoning.medium.label":"အလယ်အလတ်","composer.mode.local.reasoning.minimal.label":"အနည်းငယ်မျှသာ","composer.mode.local.reasoning.none.label":"တစ်ခုမျှမရှိ","composer.mode.local.reasoning.xhigh.label":"အလွန်မြင့်မားသည်","composer.mode.localRemoteWhereRun":"အလုပ်တာဝန်ကို လုပ်ဆောင်ရမည့်နေရာကို ရွေးချယ်ပါ","composer.mode.newTask.header":"ဆက်လက် လုပ်ဆောင်ရန်","composer.mode.rateLimit.day":"{days} ရက်","composer.mode.rateLimit.heading":"ကျန်ရှိနေသော နှုန်းထားကန့်သတ်ချက်များ","composer.mode.rateLimit.hour":"{hours}နာရီ","composer.mode.rateLimit.minute":"{minutes}မိနစ်","composer.mode.rateLimit.modelSectionLabel":"{modelName} ကန့်သတ်ချက်-","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} ပတ် ကန့်သတ်ချက်}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks}ပတ်}}","composer.mode.remote.connectToCloud":"Codex ဝဘ်ကို ချိတ်ဆက်ပါ","composer.mode.remote.connectToCloudDisabledTooltip":"Cloud သို့ အလုပ်များပေးပို့နိုင်စေရန် Codex ဝဘ်မှတစ်ဆင့် ပတ်ဝန်းကျင်တစ်ခု တည်ဆောက်ပါ","composer.mode.remote.selectEnvironment":"ပတ်ဝန်းကျင်ကို ရွေးချယ်ရန်","composer.mode.remote.sendToCloud":"cloud သို့ပို့ပါ","composer.mode.remote.setupViaWeb":"Codex web မှတစ်ဆင့် ပတ်ဝန်းကျင်တစ်ခု စနစ်ထည့်သွင်းပါ","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"cloud ပတ်ဝန်းကျင်မှာ အလုပ်လုပ်ပါ","composer.mode.segmentedToggle.local.tooltip":"သင့်ဒေသခံပရောဂျက်တွင် အလုပ်လုပ်ပါ","composer.mode.segmentedToggle.worktree.tooltip":"မျဉ်းပြိုင် worktree တွင် အလုပ်လုပ်ပါ","composer.mode.upgradeToPlus":"Plus သို့ အဆင့်မြှင့်ရန်","composer.mode.upgradeToPro":"Pro သို့ အဆင့်မြှင့်ရန်","composer.mode.workLocally":"ဒေသခံပရောဂျက်","composer.mode.workLocally.currentBranchFallback":"သင့်ဌာနခွဲ","composer.mode.workLocally.tooltip":"{branchName}တွင် လုပ်ဆောင်ပါ","composer.mode.worktree":"Worktree အသစ်","composer.mode.worktree.submoduleWarning":"ဒီကုဒ်သိုလှောင်မှုမှာ git submodules တွေ ပါပါတယ်။ Worktree ဖန်တီးမှု မအောင်မြင်နိုင်ပါဘူး","composer.mode.worktree.tooltip":"အပြိုင်အလုပ်လုပ်ရန် သင့်ဒေသခံပရောဂျက်၏ မိတ္တူတစ်ခု ဖန်တီးပါ","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"စကားပြောဆိုနေစဉ် မော်ဒယ်များ ပြောင်းလဲခြင်းသည် စွမ်းဆောင်ရည်ကို ကျဆင်းစေပါသည်။","composer.newChat.heading.browser":"နောက်ထပ်ဘာကုဒ်တွေ ရေးကြမလဲ။","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex သည် config.toml တွင် သတ်မှတ်ထားသော ခွင့်ပြုချက်ကို အသုံးပြုသည်။","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex သည် သင့်ကွန်ပျူတာကို အပြည့်အဝ ဝင်သုံးခွင့်ရှိသည် (အန္တရာယ်မြင့်မားသည်)","composer.permissionsDropdown.custom.label":"စိတ်ကြိုက် (config.toml)","composer.permissionsDropdown.custom.optionLabel":"စိတ်ကြိုက် (config.toml)","composer.permissionsDropdown.default.label":"မူရင်းခွင့်ပြုချက်","composer.permissionsDropdown.default.optionLabel":"မူရင်းခွင့်ပြုချက်","composer.permissionsDropdown.default.tooltip":"Codex သည် sandbox တွင် command များကို အလိုအလျောက် လုပ်ဆောင်သည်","composer.permissionsDropdown.disabled.requirements":"ခွင့်ပြုချက်များကို requirements.toml မှ လော့ခ်ချထားသည်","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml မှ အပြည့်အဝ ဝင်သုံးခွင့်ကို ပိတ်ထားသည်။","composer.permissionsDropdown.fullAccess.label":"အပြည့်အ၀ ဝင်သုံးခွင့်","composer.permissionsDropdown.fullAccess.optionLabel":"အပြည့်အ၀ ဝင်သုံးခွင့်","composer.permissionsDropdown.trigger.tooltip":"ခွင့်ပြုချက်များ ပြောင်းလဲရန်","composer.personalitySlashCommand.description.friendly":"နွေးထွေးမှု၊ ပူးပေါင်းဆောင်ရွက်မှုနှင့် အထောက်အကူဖြစ်စေသည်","composer.personalitySlashCommand.description.pragmatic":"တိုတောင်းမှု၊ အလုပ်အပေါ် အာရုံစိုက်မှုနှင့် တိုက်ရိုက်","composer.personalitySlashCommand.label.friendly":"ဖော်ရွေသော","composer.personalitySlashCommand.label.pragmatic":"လက်တွေ့ကျသူ","composer.personalitySlashCommand.notApplicableSuffix":"(လက်ရှိမော်ဒယ်နှင့် မသက်ဆိုင်ပါ)","composer.personalitySlashCommand.title":"ကိုယ်ရည်ကိုယ်သွေး","composer.placeholder.cloudFollowUp.directFollowUp":"ဤ cloud လုပ်ငန်းအတွက် နောက်ဆက်တွဲလုပ်ဆောင်ခြင်း","composer.placeholder.cloudFollowUp.local":"ဤ cloud အလုပ်တာဝန်ကို ရည်ညွှန်းသည့် local အလုပ်တာဝန် အသစ်တစ်ခု ဖန်တီးပါ","composer.placeholder.cloudFollowUp.workingTree":"သင့်လက်ရှိကုဒ်ပါဝင်သည့် cloud အလုပ်တာဝန် အသစ်တစ်ခု ဖန်တီးပြီး ဤအလုပ်တာဝန်ကို ရည်ညွှန်းပါမည်","composer.placeholder.localFollowUp.cloud":"cloud အလုပ်တာဝန် အသစ်တွင် နောက်ဆက်တွဲလုပ်ဆောင်ခြင်း","composer.placeholder.localFollowUp.locally":"နောက်ဆက်တွဲပြောင်းလဲမှုများကို တောင်းဆိုပါ","composer.placeholder.newTask.cloud":"Codex ကို cloud မှာ ဘာမဆိုလုပ်ခိုင်းပါ","composer.placeholder.newTask.doAnything":"Codex ကို ဘာမဆိုလုပ်ခိုင်းပါ","composer.placeholder.newTask.locally":"ဖိုင်တွေထည့်ဖို့၊ / command တွေအတွက် Codex ကို ဘာမဆိုမေးလိုက်ပါ","composer.planModeDropdown":"အစီအစဉ်မုဒ်","composer.planModeDropdown.ariaLabel":"အစီအစဉ်မုဒ်","composer.planModeIndicator":"အစီအစဉ်","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex ဖြင့် အစီအစဉ်တစ်ခု ဖန်တီးပါ","composer.planModeIndicator.tooltipToggle":"ဖွင့်၊ ပိတ်ရန်","composer.planSlashCommand.disableDescription":"အစီအစဉ်မုဒ်ကို ပိတ်ရန်","composer.planSlashCommand.enableDescription":"အစီအစဉ်မုဒ်ကို ဖွင့်ရန်","composer.planSlashCommand.title":"အစီအစဉ်မုဒ်","composer.priorContext.label":"ယခင် ဆက်စပ် အကြောင်းအရာ","composer.priorContext.removeAriaLabel":"ယခင် ဆက်စပ် အကြောင်းအရာကို ဖယ်ရှားရန်","composer.queuedMessage.delete":"တန်းစီနေသော မက်ဆေ့ချ်ကို ဖျက်ရန်","composer.queuedMessage.edit":"မက်ဆေ့ချ်ကို ပြင်ဆင်ရန်","composer.queuedMessage.more":"တန်းစီနေသော မက်ဆေ့ချ် လုပ်ဆောင်မှုများ","composer.queuedMessage.sendNow":"ထိန်းကျောင်း","composer.queuedMessage.sendNowTooltip":"အလုပ်ကို မနှောင့်ယှက်ဘဲ ယခုပို့ပါ ","composer.queuedMessage.turnOff":"တန်းစီခြင်းကို ပိတ်ရန်","composer.reasoningEffort.local.reasoning.tooltip":"စဉ်းစားတွေးခေါ်ခြင်း အားထုတ်မှုကို ရွေးချယ်ပါ","composer.remote.branchStartingPoint":"ဒီအလုပ်ကို ဘယ်ကဏ္ဍကနေ စတင်သင့်သလဲ။","composer.remote.branchesSectionHeading":"အခွဲများ","composer.remote.currentEditsSuffix.followUp":"ဤ cloud အလုပ်တာဝန်ကို ရည်ညွှန်းသည့် အလုပ်တာဝန် အသစ်တစ်ခု ဖန်တီးပါ။","composer.remote.currentEditsSuffix.useLocal":"ဒေသခံကုဒ်ပြောင်းလဲမှုများနှင့်အတူ","composer.remote.directFollowUp":"ဒေသတွင်းပြောင်းလဲမှုများကို မသုံးပါနှင့်","composer.remote.errorLoadingBranches":"အခွဲများကို လုပ်ဆောင်ရာတွင် အမှားအယွင်းရှိနေသည်","composer.remote.fromBranch":"{branch} မှစပြီး","composer.remote.fromCurrentBranch":"{branch}မှ (လက်ရှိ)","composer.remote.loadingMoreBranches":"လုပ်ဆောင်နေသည်...","composer.remote.localFileStateHeading":"ဒေသတွင်းဖိုင်အခြေအနေ","composer.remote.localWorkingTree":"ဒေသတွင်း ပြောင်းလဲမှုများကို သုံးပါ","composer.remote.startingPoint":"ဒီအလုပ်တာဝန်က ဘယ်ကုဒ်ကနေစသင့်လဲ။","composer.reviewMode.branches.error":"အခွဲများကို ဖွင့်၍မရပါ","composer.reviewMode.branches.retry":"ထပ်မံကြိုးစားပါ","composer.reviewMode.gitRoot.error":"Git root ကို မတွေ့ပါ","composer.reviewMode.option.baseBranch.simple":"base branch နှင့် ပြန်လည်သုံးသပ်ပါ","composer.reviewMode.option.unstaged.simple":"commit မလုပ်ထားသော ပြောင်းလဲမှုများကို ပြန်လည်သုံးသပ်ပါ","composer.reviewMode.quickReviewError":"ကုဒ်ပြန်လည်သုံးသပ်ခြင်းကို စတင်၍မရပါ။","composer.reviewMode.title":"ကုဒ်စစ်ဆေးရန်","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml မှ အပြည့်အဝ ဝင်သုံးခွင့်ကို ပိတ်ထားသည်။","composer.sandboxButton.windowsSandboxDialog.content":"Codex သည် Windows တွင် စမ်းသပ် sandbox ကို အသုံးပြု၍ filesystem နှင့် network access ကို ကန့်သတ်နိုင်သည်။ {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows sandbox ကို ဖွင့်ထားပါသလား။","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"ဖတ်ရန် သီးသန့်သာ အသုံးပြုပါ","composer.searchEnvironments":"ပတ်ဝန်းကျင်ကို ရှာဖွေရန်","composer.skillMentionList.app":"အက်ပ်","composer.skillMentionList.appLogoAlt":"လိုဂို {name} ခု","composer.skillMentionList.loading":"ကျွမ်းကျင်မှုများကို လုပ်ဆောင်နေသည်...","composer.skillMentionList.noResults":"ကျွမ်းကျင်မှု မတွေ့ရှိပါ","composer.slashCommands.cloudEnvironment.title":"Cloud ပတ်ဝန်းကျင်","composer.slashCommands.dialogLabel":"Slash command မီနူး","composer.slashCommands.dialogTitle":"Slash command များ","composer.slashCommands.disabledTooltip":"Slash command များအသုံးပြုရန် စကားဝိုင်း အသစ်တစ်ခုစတင်ပါ","composer.slashCommands.inputPlaceholder":"ရှာဖွေရန်","composer.slashCommands.noResults":"commandများ မရှိပါ","composer.slashCommands.skillsGroup":"ကျွမ်းကျင်မှုများ","composer.slashCommands.tooltip":"Slash command များကို ကြည့်ရှုပါ","composer.status.close":"ပိတ်ရန်","composer.statusPlain.alertLabel":"သတိပေးချက်","composer.statusPlain.alertValue":"{window}အတွက် {remaining}% ကျန်သည်","composer.statusPlain.contextLabel":"ဆက်စပ်အကြောင်းအရာ-","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({total} ခုတွင် {used} ခုကို အသုံးပြုခဲ့သည်)","composer.statusPlain.contextValueRemaining":"{remaining}% ကျန်သေးသည်","composer.statusPlain.heading":"အခြေအနေ","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ကန့်သတ်ချက်-","composer.statusPlain.rateLimitDays":"{count}ရက် ကန့်သတ်ချက်","composer.statusPlain.rateLimitFallbackLabel":"နှုန်းကန့်သတ်ချက်-","composer.statusPlain.rateLimitHours":"{count}နာရီ ကန့်သတ်ချက်","composer.statusPlain.rateLimitLabelBase":"နှုန်းကန့်သတ်ချက်","composer.statusPlain.rateLimitMinutes":"{count}မိနစ် ကန့်သတ်ချက်","composer.statusPlain.rateLimitPercent":"{remaining}% ကျန်သေးသည်","composer.statusPlain.rateLimitReset":"{time} ပြန်လည်သတ်မှတ်မှုများ","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"ပြန်လည်သတ်မှတ်ချိန် မရနိုင်ပါ","composer.statusPlain.rateLimitUnavailable":"မရရှိိနိုင်ပါ","composer.statusPlain.sessionCopiedAriaLabel":"ကူးယူထားသော ဆက်ရှင် အိုင်ဒီ","composer.statusPlain.sessionCopiedTooltip":"ကူးယူထားသော အိုင်ဒီ","composer.statusPlain.sessionCopyAriaLabel":"ဆက်ရှင် အိုင်ဒီ ကူးယူရန်","composer.statusPlain.sessionCopyTooltip":"အိုင်ဒီ ကူးယူရန်","composer.statusPlain.sessionLabel":"ဆက်ရှင်-","composer.statusSlashCommand.description":"thread id၊ အကြောင်းအရာအသုံးပြုမှုနှင့် နှုန်းထားကန့်သတ်ချက်များကို ပြပါ","composer.statusSlashCommand.title":"အခြေအနေ","composer.submit.blockedDialogOk":"အိုကေ","composer.submit.blockedDialogTitle":"မက်ဆေ့ချ်ပို့၍ မရပါ","composer.submit.emptyMessage":"စတင်ရန် မက်ဆေ့ချ်တစ်ခု ရိုက်ထည့်ပါ","composer.submit.imageInputsUnsupported":"ဤမက်ဆေ့ချ်ကိုပေးပို့ရန် ရုပ်ပုံများကို ဖယ်ရှားပါ သို့မဟုတ် မော်ဒယ်များကို ပြောင်းလဲပါ။","composer.submit.loadingLocalConfig":"လုပ်ဆောင်နေသည်...","composer.submit.missingCloudConfig":"သင်သည် cloud ပတ်ဝန်းကျင်ကို ရွေးချယ်ရမည်","composer.submit.missingCloudTurn":"ဤအလုပ်တာဝန်ကို နောက်ဆက်တွဲလုပ်ဆောင်၍မရပါ","composer.submit.noWorkspace":"Codex ကိုအသုံးပြုရန် ပရောဂျက်တစ်ခုထည့်ပါ","composer.submit.waitForImageUploads":"ပုံများကို အပ်လုဒ်တင်နေသည်…","composer.submitButtonTooltip.send":"ပို့ရန်","composer.submitButtonTooltip.stop":"ရပ်ရန်","composer.worktreeEnvironment.create":"ဒေသတွင်း ပတ်ဝန်းကျင်ကို ဖန်တီးပါ","composer.worktreeEnvironment.default":"မူရင်း ပတ်ဝန်းကျင်","composer.worktreeEnvironment.error":"ပတ်ဝန်းကျင်ကို လုပ်ဆောင်ရာတွင် အမှားအယွင်းရှိသည်","composer.worktreeEnvironment.loading":"ပတ်ဝန်းကျင် လုပ်ဆောင်နေသည်...","composer.worktreeEnvironment.title":"ဒေသတွင်း ပတ်ဝန်းကျင်များ","composer.worktreeEnvironment.tooltip":"ဒေသတွင်း ပတ်ဝန်းကျင် တစ်ခုကို ရွေးချယ်ပါ","composer.worktreeSetupFailed":"Worktree စနစ်ထည့်သွင်းမှု မအောင်မြင်ပါ။ စနစ်ထည့်သွင်းမှု script အတွက် .codex/environments တွင် စစ်ဆေးပါ။","compoundButton.secondaryAction":"ဒုတိယလုပ်ဆောင်ချက်","copyButton.copied":"ကူးယူပြီးပါပြီ","copyButton.copiedAriaLabel":"ကူးယူပြီးပါပြီ","copyButton.copy":"ကူးယူရန်","copyButton.copyAriaLabel":"ကူးယူရန်","copyButton.copyCode":"ကုဒ်ကို ကူးယူပါ","diff.actionButton.revertFile":"ဖိုင်ကို မူလ အတိုင်းပြန်ပြောင်းရန်","diff.actionButton.revertHunk":"မူလ အတိုင်းပြန်ပြောင်းရန်","diff.actionButton.revertSection":"အားလုံးကို မူလအတိုင်းပြန်ပြောင်းရန်","diff.actionButton.revertSectionLabel":"အားလုံးကို မူလအတိုင်းပြန်ပြောင်းရန်","diff.actionButton.stageFile":"Stage ဖိုင်","diff.actionButton.stageHunk":"Stage","diff.actionButton.stageSection":"အားလုံးကို Stage လုပ်ပါ","diff.actionButton.stageSectionLabel":"အားလုံးကို Stage လုပ်ပါ","diff.actionButton.unstageFile":"Unstage ဖိုင်","diff.actionButton.unstageHunk":"Unstage","diff.actionButton.unstageSection":"အားလုံးကို Unstage လုပ်ပါ","diff.actionButton.unstageSectionLabel":"အားလုံးကို Unstage လုပ်ပါ","diff.fileHeader.toggle":"ဖိုင်ကွာခြားချက်ကို ပြောင်းပါ","electron.onboarding.login.apikey.cancel":"ပယ်ဖျက်ရန်","electron.onboarding.login.apikey.continue":"ဆက်ရန်","electron.onboarding.login.apikey.label":"OpenAI API သော့","electron.onboarding.login.apikey.open":"API သော့ ထည့်သွင်းရန်","electron.onboarding.login.apikey.placeholder":"‌sk-...","electron.onboarding.login.chatgpt.cancel":"အကောင့်ဝင်ခြင်းကို ပယ်ဖျက်ပါ","electron.onboarding.login.chatgpt.continue":"ChatGPT ဖြင့် ဆက်လုပ်ရန်","electron.onboarding.login.devbox":"အဝေးထိန်း SSH သို့ ချိတ်ဆက်ပါ","electron.onboarding.login.error":"အကောင့်ဝင်ခြင်း မအောင်မြင်ပါ-{rawMessage}","electron.onboarding.login.snake.start":"Snake ကစားပါ","electron.onboarding.login.sshConfig.cancel":"ပယ်ဖျက်ရန်","electron.onboarding.login.sshConfig.continue":"ဆက်ရန်","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"အေးဂျင့်တွေနဲ့ တည်ဆောက်ဖို့ အကောင်းဆုံးနည်းလမ်း","electron.onboarding.login.title":"Codex မှ ကြိုဆိုပါတယ်","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"ဆက်ရန်","electron.onboarding.welcome.doubleLimits.description":"Codex အက်ပ်စတင်မိတ်ဆက်ခြင်းအထိမ်းအမှတ်အနေဖြင့် ဧပြီလ 2 ရက်နေ့အထိ နှုန်းထားကန့်သတ်ချက် 2 ဆ ရှိပါသည်။","electron.onboarding.welcome.freego.description":"Codex ကို မတ်လ 2 ရက်နေ့အထိ သင်၏အစီအစဉ်တွင် အခမဲ့ထည့်သွင်းထားသည် - အတူတကွတည်ဆောက်ကြပါစို့။","electron.onboarding.welcome.new.title.anon":"ကြိုဆိုပါတယ်","electron.onboarding.workspace.continue":"ဆက်ရန်","electron.onboarding.workspace.empty":"ဆက်လက်လုပ်ဆောင်ရန် ပရောဂျက်တစ်ခုထည့်ပါ။","electron.onboarding.workspace.listLabel":"ရရှိနိုင်သော ပရောဂျက်များ","electron.onboarding.workspace.loading":"ပရောဂျက်များကို ဖွင့်နေသည်...","electron.onboarding.workspace.openFolder":"ပရောဂျက် ထည့်ရန်","electron.onboarding.workspace.selectAll":"အားလုံး ရွေးချယ်ရန်","electron.onboarding.workspace.skip":"ကျော်ရန်","electron.onboarding.workspace.skip.error":"ပရောဂျက်အသစ်တစ်ခု ဖန်တီး၍မရပါ- {message}","electron.onboarding.workspace.skip.error.unknown":"မသိရှိသော မှားယွင်းမှု","electron.onboarding.workspace.skipping":"ပရောဂျက်အသစ်တစ်ခု ဖန်တီးနေသည်…","electron.onboarding.workspace.subtitle":"Codex သည် ဖိုင်များကို တည်းဖြတ်နိုင်ပြီး ရွေးချယ်ထားသော ဖိုဒါများတွင် command များကို လုပ်ဆောင်နိုင်မည်ဖြစ်သည်။","electron.onboarding.workspace.title":"ပရောဂျက်တစ်ခုကို ရွေးချယ်ပါ","errorPage.list.checkSettings":"သင့် IDE ဆက်တင်များကို အပ်ဒိတ်လုပ်ကြည့်ပါ","errorPage.list.configToml":"မမှန်ကန်သော ဆက်တင်များ ရှိ၊မရှိ သင့် config.toml ကို စစ်ဆေးပါ","errorPage.list.downloadExtension":"အိတ်စတန်းရှင်း၏ အခြားဗားရှင်းကို ဒေါင်းလုဒ်လုပ်ကြည့်ပါ","errorPage.list.runInWsl":"လိုက်ဖက်ညီမှု ပြဿနာများ တွေ့ရှိပါက WSL တွင် လုပ်ဆောင်ခြင်းကို ပိတ်ရန် သင့်ဆက်တင်များကို စစ်ဆေးပါ","execApprovalRequest.menu.runAlways":"ဟုတ်ကဲ့၊ ဒီဆက်ရှင်ကို ထပ်မမေးပါနဲ့","execApprovalRequest.menu.runAlwaysWithAmendment":"ဟုတ်ကဲ့၊ {command} နဲ့စတဲ့ command တွေကို ထပ်မမေးပါနဲ့","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ဟုတ်ကဲ့၊ command တွေကို ထပ်မမေးပါနဲ့","execApprovalRequest.menu.runOnce":"ပြီးဆုံးပြီ","execApprovalRequest.prompt":"ဒီ command ကို run ချင်ပါသလား။","execApprovalRequest.reject":"မပြီးသေးပါ","execFooter.exitCode":"ထွက်ရန် ကုဒ် {code}","execFooter.exitCode.unknown":"အမည်မသိ","execFooter.success":"အောင်မြင်သည်","feedback.dialog.category.badResult":"ရလဒ်မကောင်း","feedback.dialog.category.bug":"ချို့ယွင်းချက်","feedback.dialog.category.goodResult":"ရလဒ်ကောင်း","feedback.dialog.category.other":"အခြား","feedback.dialog.category.safetyCheck":"ဘေးကင်းရေးစစ်ဆေးမှု","feedback.dialog.descriptionPlaceholder":"ပြဿနာကို ဤနေရာတွင် ဖော်ပြပါ။","feedback.dialog.dismiss":"ပယ်ဖြုတ်ရန်","feedback.dialog.includeLogsLabel":"လက်ရှိ Codex ဆက်ရှင် log များကို ထည့်သွင်းပါ။","feedback.dialog.submit":"ပေးပို့ရန်","feedback.dialog.submitError":"သင့်တုံ့ပြန်ချက်ကို ပေးပို့၍မရပါ။ နောက်မှ ပြန်လုပ်ဆောင်ပါ။","feedback.dialog.title":"အကြံပြုချက်","feedback.dialog.uploadedMessage.existingIssue":"လက်ရှိဖွင့်ထားသောပြဿနာ","feedback.dialog.uploadedMessage.openIssue":"GitHub ပြဿနာကို ဖွင့်ရန်","feedback.dialog.uploadedMessage.withThread":"တုံ့ပြန်ချက်ကို အပ်လုဒ်လုပ်ပြီးပါပြီ။ ပြဿနာဆက်ရှိနေပါက ကျေးဇူးပြု၍ {openIssueLink}သို့မဟုတ် thread id ကို {existingIssueLink}အောက်ပါတွင် ဖော်ပြပါ-","feedback.dialog.uploadedTitle":"အကြံပြုချက် အပ်လုဒ်တင်ခဲ့သည်","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} ဖယ်ရှားရန်","header.back":"နောက်သို့","header.recentChats":"အလုပ်တာဝန်များ","header.recentTasks.seeAll":"အားလုံး ကြည့်ရန် ({total})","home.header.getPlus":"Plus ကို ရယူလိုက်ပါ","home.hero.letsBuild":"တည်ဆောက်ကြရအောင်","homePage.mainContent":"ပင်မ အကြောင်းအရာ","imageAttachment.defaultName":"ရုပ်ပုံ","imageAttachment.preview.close":"ပုံအစမ်းကြည့်ရှုခြင်းကို ပိတ်ပါ","imageAttachment.removeAriaLabel":"{filename} ဖယ်ရှားရန်","implementPlanRequest.option.implement":"ဟုတ်ကဲ့၊ ဒီအစီအစဉ်ကို အကောင်အထည် ဖော်ပါ","implementPlanRequest.prompt":"ဒီအစီအစဉ်ကို အကောင်အထည်ဖော်မှာလား။","inbox.archived.deleteError":"စုစည်းသိမ်းဆည်းထားသော လုပ်ဆောင်မှုကို ဖျက်၍မရပါ","inbox.archived.deleteRun":"စုစည်းသိမ်းဆည်းထားသော လုပ်ဆောင်မှုကို ဖျက်ပါ","inbox.archived.deleteSuccess":"စုစည်းသိိမ်းဆည်းထားသော thread ကို ဖျက်လိုက်ပါပြီ။ <settingsLink>မော်ကွန်းတင်ထားသော thread များ</settingsLink> တွင် ကြည့်ရန်။","inbox.archived.inlineLabel.auto":"ဤ thread ကို အလိုအလျောက် စုစည်းသိမ်းဆည်းထားပါသည်။ <learnMoreLink>ပိုမိုလေ့လာရန်</learnMoreLink>","inbox.archived.inlineLabel.manual":"ဤ thread ကို စုစည်းသိမ်းဆည်းထားပါသည်။","inbox.archived.noMessageFound":"မက်ဆေ့ချ် မတွေ့ပါ","inbox.automations.createError":"အလိုအလျောက်စနစ် ဖန်တီး၍မရပါ","inbox.automations.deleteConfirm.cancel":"ပယ်ဖျက်ရန်","inbox.automations.deleteConfirm.confirm":"အလိုအလျောက်စနစ်ကို ဖျက်မည်လား။","inbox.automations.deleteConfirm.description":"အလိုအလျောက်လုပ်ဆောင်ခြင်းကို အပြီးအပိုင်ဖျက်ပစ်ပြီး အနာဂတ် လုပ်ဆောင်မှုများကို ရပ်တန့်စေပါမည်။","inbox.automations.deleteConfirm.title":"{name}ကို ဖျက်မလား။","inbox.automations.deleteError":"အလိုအလျောက်စနစ်ကို ဖျက်၍မရပါ","inbox.automations.editTooltip":"အလိုအလျောက်လုပ်ဆောင်ခြင်း တည်းဖြတ်ရန်","inbox.automations.inProgress":"လုပ်ဆောင်နေသည်","inbox.automations.new":"အသစ်","inbox.automations.newToolbar":"အလိုအလျောက်စနစ်အသစ်","inbox.automations.pauseTooltip":"အလိုအလျောက်လုပ်ဆောင်ခြင်းကို ခေတ္တရပ်ပါ","inbox.automations.resumeTooltip":"အလိုအလျောက်လုပ်ဆောင်ခြင်းကို ပြန်လည်စတင်ပါ","inbox.automations.startingNow":"ယခုစတင်နေပါပြီ","inbox.automations.startsIn":"{startTime}တွင် စတင်မည်","inbox.automations.status.active":"အသက်ဝင်နေသည်","inbox.automations.status.paused":"ရပ်ထားသည်","inbox.automations.status.runs":"{count} ကိုလုပ်ဆောင်နေသည်","inbox.automations.status.started":"{date} ကို စတင်ခဲ့သည် ","inbox.automations.updateError":"အလိုအလျောက်စနစ်ကို အပ်ဒိတ်လုပ်၍မရပါ","inbox.automations.workspaceFallback":"-","inbox.filter.all":"အားလုံး","inbox.filter.ariaLabel":"ဝင်စာပုံးကို စစ်ထုတ်ပါ","inbox.filter.unread":"မဖတ်ရသေးသော","inbox.list.archived":"စုစည်းသိမ်းဆည်းထားသည်","inbox.list.inProgress":"လုပ်ဆောင်နေသည်","inbox.list.recent":"ပြီးဆုံးပြီး","inbox.list.upNext":"စီစဉ်ထားသည်","inbox.mode.automations":"အလိုအလျောက်စနစ်များ","inbox.mode.automations.beta":"Beta","inbox.noDescription":"ဖော်ပြချက် မပေးထားပါ","inbox.openThread":"Thread ကို ဖွင့်ပါ","inbox.rightPanel.emptySubtitle":"အချိန်ဇယားဆွဲထားသော အလုပ်များကို စီစဉ်ခြင်းဖြင့် အလုပ်ကို အလိုအလျောက်လုပ်ဆောင်ပါ။","inbox.rightPanel.emptySubtitle.learnMore":"အချိန်ဇယားဆွဲထားသော အလုပ်များကို စီစဉ်ခြင်းဖြင့် အလုပ်ကို အလိုအလျောက်လုပ်ဆောင်ပါ <link>ပိုမိုသိရှိရန်</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {အသက်ဝင်သော အလိုအလျောက်စနစ် #ခု}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"မဖတ်ရသေးသော အလိုအလျောက်စနစ်များ မရှိပါ","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {မဖတ်ရသေးသော အလိုအလျောက်စနစ် # ခု}}","inbox.rightPanel.emptyTitle":"ရွေးချယ်ထားသည်များ မရှိပါ","inbox.rightPanel.noThread":"ဤပစ္စည်းအတွက် Thread မရှိပါ","inbox.rightPanel.quickStart.header":"ပုံစံပြား တစ်ခုဖြင့် စတင်ပါ","inbox.untitled":"ခေါင်းစဉ်မဲ့ ဝင်စာ","loadingPage.documentationLink":"စာရွက်စာတမ်း","loadingPage.errorDescription":"Codex သည် အောက်ပါအမှားဖြင့် ပျက်သွားသည်-","loadingPage.errorDescription.documentation":"Codex အိတ်စတန်းရှင်းကို ပြန်လည်စတင်ရန် reload ကို နှိပ်ပါ၊ သို့မဟုတ် နောက်ထပ် အကူအညီအတွက် {documentationLink} သို့ ဝင်ရောက်ကြည့်ရှုပါ။","loadingPage.errorSignal":"စမ်းကြည့်ရမည့် အချက်အချို့-","loadingPage.errorTitle":"အမှားတစ်ခု ဖြစ်ပွားခဲ့သည်","loadingPage.openConfigToml":"Config.toml ကိုဖွင့်ပါ","loadingPage.reload":"ပြန်လည် လုပ်ဆောင်ရန်","localConversation.contextCompacted":"နောက်ခံအကြောင်းအရာကို အလိုအလျောက် ကျစ်လစ်စေခဲ့သည်","localConversation.contextCompacting":"နောက်ခံ အကြောင်းအရာကို အလိုအလျောက် ကျစ်လစ်စေခြင်း","localConversation.finalAssistantMessageDivider":"နောက်ဆုံး မက်ဆေ့ချ်","localConversation.forkedFromConversation":"{threadTitle} မှ ခွဲထုတ်ထားသော","localConversation.merge.autoResolve.failed":"အလိုအလျောက်ဖြေရှင်းရန် တောင်းဆို၍မရပါ-{error}","localConversation.merge.autoResolve.sent":"အလိုအလျောက် ဖြေရှင်းရန် တောင်းဆိုချက် ပို့ပြီးပါပြီ","localConversation.merge.autoResolveMerge.missingConversation":"တက်ကြွသော စကားဝိုင်းမရှိဘဲ အလိုအလျောက် ဖြေရှင်း၍မရပါ။","localConversation.merge.autoResolveMerge.request":"ပေါင်းစည်းမှု ပဋိပက္ခများကို အလိုအလျောက် ဖြေရှင်းပါ","localConversation.modelChanged":"မော်ဒယ် {fromModel} ကနေ {toModel} ကို ပြောင်းလိုက်ပါပြီ။","localConversation.modelChanged.warning.line1":"စကားပြောဆိုနေစဉ် မော်ဒယ်များ ပြောင်းလဲခြင်းသည် စွမ်းဆောင်ရည်ကို ကျဆင်းစေပါသည်။","localConversation.modelChanged.warning.line2":"နောက်ခံ အခြေအနေသည် အလိုအလျောက် ကျစ်လျစ်သွားနိုင်သည်။","localConversation.modelRerouted":"သင့်တောင်းဆိုချက်ကို {toModel} သို့ ပေးပို့လိုက်ပါပြီ။","localConversation.modelRerouted.warning.line1":"ကြိုတင်အသိပေးချက်၊ ဆိုက်ဘာ အလွဲသုံးစားမှုအန္တရာယ်ကို လျှော့ချရန် သင့်တောင်းဆိုချက်ကို ပြန်လည်လမ်းကြောင်းပြောင်းထားပါသည်။","localConversation.modelRerouted.warning.line2":"ဒါက အမှားတစ်ခုလို့ ထင်ပါသလား။ စစ်ဆေးခိုင်းလိုပါက<link>chatgpt.com/cyber</link>သို့မဟုတ် /feedback မှတစ်ဆင့် သတင်းပို့ပါ","localConversation.moveThread.createBranch.label":"အခွဲ ဖန်တီးရန်","localConversation.moveToLocal.disabled.branchCheckedOut":"အခွဲသည် အခြား worktree တစ်ခုမှာ check out လုပ်ပြီးသားပါ။","localConversation.moveToLocal.disabled.loading":"လုပ်ဆောင်နေသည်...","localConversation.moveToLocal.disabled.missingSourceHead":"worktree HEAD commit ကို ဖြေရှင်း၍မရပါ","localConversation.moveToLocal.disabled.noWorkspace":"ဤ worktree အတွက် ဒေသတွင်း အလုပ်နေရာ ရှာမတွေ့ပါ","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"အခု ရွှေ့လို့မရပါဘူး။ ဒေသတွင်း အလုပ်နေရာ အခြေအနေကို စစ်ဆေးပြီး ထပ်မံကြိုးစားပါ။","localConversation.moveToLocal.error.rollbackIssues":"ပြန်လည်ရုပ်သိမ်းခြင်းဆိုင်ရာ ပြဿနာများ- {issues}","localConversation.moveToLocal.label":"ဒေသတွင်းသို့ ပြောင်းရွှေ့ပါ","localConversation.moveToLocal.loading.subtitle":"သင့်ရဲ့ worktree ပြောင်းလဲမှုတွေကို ဒေသတွင်းကို ရွှေ့နေပါတယ်…","localConversation.moveToLocal.loading.title":"ဒေသတွင်းသို့ပြောင်းရွှေ့ခြင်း","localConversation.moveToLocal.modal.continue":"ဆက်ရန်","localConversation.moveToLocal.modal.destinationLabel":"ရွှေ့ရန်","localConversation.moveToLocal.modal.retry":"ထပ်မံကြိုးစားပါ","localConversation.moveToLocal.modal.subtitle":"ဤ worktree branch နှင့် Commit မလုပ်ထားသော ပြောင်းလဲမှုများကို သင်၏ local checkout သို့ ပြန်လည်ရွှေ့ပါမည်။","localConversation.moveToLocal.modal.title":"ဒေသတွင်းသို့ ပြောင်းရွှေ့ပါ","localConversation.moveToWorktree.error.branchRequired":"Worktree ဌာနခွဲအမည် လိုအပ်ပါသည်","localConversation.moveToWorktree.error.createWorktree":"worktree ဖန်တီး၍မရပါ- {message}","localConversation.moveToWorktree.error.move":"worktree သို့ ရွှေ့၍မရပါ- {message}","localConversation.moveToWorktree.error.prepareBranch":"worktree branch “{branch}” ကို ပြင်ဆင်၍မရပါ- {message}","localConversation.moveToWorktree.error.rollbackIssues":"ပြန်လည်ရုပ်သိမ်းခြင်းဆိုင်ရာ ပြဿနာများ- {issues}","localConversation.moveToWorktree.error.unknown":"worktree သို့ ရွှေ့၍မရပါ။ ပြန်ကြိုးစားပါ။","localConversation.moveToWorktree.label":"အလုပ်သစ်ပင်သို့ ရွှေ့ပါ","localConversation.moveToWorktree.loading.subtitle":"သင့်ရဲ့ worktree ကို စနစ်ထည့်သွင်းပြီး ဒေသတွင်းပြောင်းလဲမှုများကို ရွှေ့ပြောင်းနေသည်…","localConversation.moveToWorktree.loading.title":"worktree သို့ပြောင်းရွှေ့ခြင်း","localConversation.moveToWorktree.modal.back":"နောက်သို့","localConversation.moveToWorktree.modal.branchAlreadyExists":"ဘဏ်ခွဲရှိပြီးသားပါ","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"အခွဲရှိပြီးသားပါ။","localConversation.moveToWorktree.modal.branchesError":"အခွဲများကို ဖွင့်၍မရပါ","localConversation.moveToWorktree.modal.branchesLoading":"အခွဲများကို တင်နေသည်…","localConversation.moveToWorktree.modal.branchesRetry":"ထပ်မံကြိုးစားပါ","localConversation.moveToWorktree.modal.continue":"ဆက်ရန်","localConversation.moveToWorktree.modal.defaultBranchError":"Worktree branch ဟာ default branch နဲ့ ကွဲပြားရပါမယ်။","localConversation.moveToWorktree.modal.localBranchLabel":"ဒေသခံဌာနခွဲ","localConversation.moveToWorktree.modal.localBranchPlaceholder":"ဒေသတွင်း ငွေရှင်းကောင်တာဌာနခွဲကို ရွေးချယ်ပါ","localConversation.moveToWorktree.modal.noTargetBranch":"အခြားဒေသခံဆိုင်ခွဲများ မရှိသေးပါ","localConversation.moveToWorktree.modal.retry":"ထပ်မံကြိုးစားပါ","localConversation.moveToWorktree.modal.subtitle":"ဒီ branch နဲ့ uncommitted changes အားလုံးကို worktree တစ်ခုဆီ ရွှေ့သွားပါလိမ့်မယ်။ အဲဒီနေရာမှာ ဒေသတွင်းက တခြား branch တစ်ခုကို check လုပ်ရပါမယ်။","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex က ဒီ thread အတွက် worktree အသစ်တစ်ခု ဖန်တီးပေးပါလိမ့်မယ်။","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"worktree branch အမည်ကို ရွေးချယ်ပါ။ Codex က default branch အစား ၎င်းကို အသုံးပြုပါလိမ့်မယ်။","localConversation.moveToWorktree.modal.subtitle.loading":"ရှိပြီးသား worktree ကို ရှာဖွေနေသည်…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"ဤဘဏ်ခွဲကို worktree သို့ ရွှေ့ပါမည်။ သင့်လက်ရှိဒေသခံဘဏ်ခွဲကို checkout လုပ်ထားပါမည်။","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex သည် ဤ thread အတွက် ရှိပြီးသား worktree ကို ပြန်လည်အသုံးပြုပါမည်။","localConversation.moveToWorktree.modal.title":"worktree သို့ ရွှေ့ပါ","localConversation.moveToWorktree.modal.trailingSlashError":"ဘဏ်ခွဲအမည်ကို “/” ဖြင့် မအဆုံးသတ်ရ","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Worktree အခွဲအမည်","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Worktree အခွဲ","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"အခွဲအသစ်","localConversation.personalityChanged":"ကိုယ်ရည်ကိုယ်သွေး {personality}  သို့ ပြောင်းလိုက်ပါပြီ","localConversation.planSummary.collapse":"အစီအစဉ် အကျဉ်းချုပ်ကို ခေါက်သိမ်းပါ","localConversation.planSummary.collapseTooltip":"ချုံ့ရန်","localConversation.planSummary.download":"အစီအစဉ်ကို ဒေါင်းလုဒ်လုပ်ပါ","localConversation.planSummary.expand":"အစီအစဉ် အကျဉ်းချုပ်ကို ချဲ့ထွင်ပါ","localConversation.planSummary.expandTooltip":"ချဲ့ရန်","localConversation.planSummary.openInNewWindow":"ဖွင့်ရန်","localConversation.planSummary.openInNewWindow.tooltip":"ဝင်းဒိုးအသစ်တွင် ဖွင့်ရန်","localConversation.planSummary.title":"အစီအစဉ်","localConversation.planSummary.titleWriting":"ရေးသားချက် အစီအစဉ်","localConversation.planSummary.viewPlan":"အစီအစဉ်ကို ချဲ့ထွင်ပါ","localConversation.previousMessagesSummary":"{count, plural, other {ယခင်မက်ဆေ့ချ် #စောင်}}","localConversation.remoteTaskCreated":"Codex Cloud တွင် {taskLink} ဖန်တီးထားသည်","localConversation.remoteTaskCreated.task":"အလုပ်တာဝန်","localConversation.scrollToBottomButton":"အောက်သို့ဆွဲပါ","localConversation.sync.buttonLabel":"ဒေသခံသို့ လွှဲပြောင်းပေးသည်","localConversation.sync.buttonLabel.tooltip":"ဤ worktree နှင့် သင့်ဒေသခံ checkout အကြား ပြောင်းလဲမှုများကို လွှဲပြောင်းပါ။","localConversation.sync.modal.loading.title":"ပြောင်းလဲမှုများကို လွှဲပြောင်းပေးနေသည်…","localConversation.sync.modal.noChanges":"အပြောင်းအလဲများ မရှိပါ","localConversation.syncSetup.branchAriaLabel":"အခွဲ နာမည်","localConversation.syncSetup.branchName":"အခွဲ နာမည်","localConversation.syncSetup.branchPlaceholder.existing":"ရှိပြီးသား အခွဲကို ရွေးချယ်ပါ","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ဘဏ်ခွဲများကို တင်နေသည်…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"စစ်ဆေးပြီးပါပြီ","localConversation.syncSetup.checkoutClean":"လက်ရှိ{branchName}တွင်","localConversation.syncSetup.checkoutDirty":"လက်ရှိတွင် {branchName} တွင် commit မလုပ်ထားသော ပြောင်းလဲမှုများ ပါရှိသည်","localConversation.syncSetup.checkoutError":"ဌာနခွဲကို စစ်ဆေး၍မရပါ- {message}","localConversation.syncSetup.checkoutLabel":"ဒေသတွင်းတွင် ယခုစစ်ဆေးပါ","localConversation.syncSetup.checkoutOnLocal":"ဒေသခံသို့ လွှဲပြောင်းပေးသည်","localConversation.syncSetup.checkoutPending":"ဒေသတွင်း အခြေအနေကို စစ်ဆေးနေသည်…","localConversation.syncSetup.checkoutUnavailable":"ဒေသတွင်း အလုပ်နေရာ မရနိုင်ပါ","localConversation.syncSetup.checkoutUnknown":"ဒေသတွင်း ဘဏ်ခွဲ မရနိုင်ပါ","localConversation.syncSetup.continue":"ဆက်ရန်","localConversation.syncSetup.createBranchError":"ဌာနခွဲကို လွှဲပြောင်းပေးသည် သတ်မှတ်၍မရပါ- {message}","localConversation.syncSetup.error":"တစ်ခုခု မှားယွင်းနေသည်- {message}","localConversation.syncSetup.error.workingTreeMissing":"worktree ကို snapshot လုပ်၍မရပါ။ ပြန်လည် hand off လုပ်ကြည့်ပါ။","localConversation.syncSetup.mode.ariaLabel":"ဘဏ်ခွဲ မုဒ်ကို ရွေးချယ်ပါ","localConversation.syncSetup.mode.existing":"ရှိပြီးသား ဘဏ်ခွဲ","localConversation.syncSetup.mode.new":"ဘဏ်ခွဲအသစ်","localConversation.syncSetup.noBranches":"ဘဏ်ခွဲများ မတွေ့ရှိပါ","localConversation.syncSetup.overwriteError":"အခွဲကို ဖန်တီးပြီးသော်လည်း အပြည့်အဝ hand off မလုပ်ရသေးပါ။ ဒေသတွင်းတွင် checkout မလုပ်မီ ကိုယ်တိုင် hand off လုပ်ပါ။","localConversation.syncSetup.setPrefix":"ရှေ့ဆက်သတ်မှတ်ပါ","localConversation.syncSetup.subtitle":"worktree ပြောင်းလဲမှုများကို ဒေသတွင်းတွင် စမ်းသပ်ပြီး တည်းဖြတ်ပါ။ <a>ပိုမိုလေ့လာရန်</a>","localConversation.syncSetup.success.checkedOut":"အခွဲကို ဖန်တီးပြီး ဒေသတွင်းတွင် check out လုပ်ပါ","localConversation.syncSetup.success.notCheckedOut":"အခွဲဖန်တီးပြီး","localConversation.syncSetup.title":"ဒေသတွင်း အခွဲသို့ hand off လုပ်ပါ","localConversation.syncWorktreeError.branchAriaLabel":"အခွဲ နာမည်","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Hand off လုပ်ရန် အခွဲတစ်ခုကို ရွေးချယ်ပြီးနောက် ပြောင်းလဲမှုများကို ပြန်လည် လုပ်ဆောင်ကြည့်ပါ။","localConversation.syncWorktreeError.branchSetup.title":"အခွဲ အပ်ဒိတ်လုပ်ပါ","localConversation.syncWorktreeError.branchUpdate.cta":"အပ်ဒိတ်လုပ်ပြီး ပြန်ကြိုးစားပါ","localConversation.syncWorktreeError.branchUpdate.error":"အခွဲကို အပ်ဒိတ်လုပ်၍မရပါ- {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"တစ်ခုခု မှားယွင်းနေသည်- {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"worktree တွင် အခွဲကို check out မလုပ်ရသေးပါ။","localConversation.syncWorktreeV2.applyUncommitted":"ကျင့်သုံးရန်","localConversation.syncWorktreeV2.applyUncommitted.disabled":"commit မလုပ်ထားသော ပြောင်းလဲမှုများကို အသုံးချရန် အခွဲကို ဒေသတွင်းတွင် check out လုပ်ရမည်","localConversation.syncWorktreeV2.branches.empty":"ဘဏ်ခွဲများ မတွေ့ရှိပါ","localConversation.syncWorktreeV2.branches.loading":"ဘဏ်ခွဲများကို တင်နေသည်…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"handoff အခွဲကို ပြောင်းပါ","localConversation.syncWorktreeV2.changeBranch.error":"handoff အခွဲကို ပြောင်းရန် မအောင်မြင်ပါ- {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Apply မအောင်မြင်ပါ","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"worktree ကို overwrite မအောင်မြင်ပါ","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ဒေသတွင်း ထပ်ရေးခြင်း မအောင်မြင်ပါ","localConversation.syncWorktreeV2.commandError.back":"နောက်သို့","localConversation.syncWorktreeV2.commandError.body":"handoff လုပ်နေစဉ် git command မအောင်မြင်ပါ။ output ကို ပြန်လည်သုံးသပ်ပြီး ပြန်ကြိုးစားပါ။","localConversation.syncWorktreeV2.commandError.retry":"ထပ်မံကြိုးစားပါ","localConversation.syncWorktreeV2.description":"local နှင့် ဤ worktree အကြား Handoff ပြောင်းလဲမှုများ <a>ပိုမိုလေ့လာပါ</a>။","localConversation.syncWorktreeV2.direction.ariaLabel":"Handoff ဦးတည်ရာကို ရွေးချယ်ပါ","localConversation.syncWorktreeV2.error.generic":"handoff လုပ်နေစဉ် တစ်စုံတစ်ခု မှားယွင်းသွားပါသည်။ ထပ်လုပ်ဆောင်ကြည့်ပါ။","localConversation.syncWorktreeV2.localBranchLabel":"ဒေသတွင်း","localConversation.syncWorktreeV2.noChanges":"ပြောင်းလဲမှုများကို တွက်ချက်နေသည်","localConversation.syncWorktreeV2.noChanges.summary":"အပြောင်းအလဲများ မရှိပါ","localConversation.syncWorktreeV2.overwrite.local":"ဒေသတွင်းကို အစားထိုးရေးပါ","localConversation.syncWorktreeV2.overwrite.worktree":"worktree ကို အစားထိုးရေးပါ","localConversation.syncWorktreeV2.partial.action.applyFailed":"ပြောင်းလဲမှုများကို အသုံးချ၍မရပါ","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ဒေသတွင်းပြောင်းလဲမှုများကို အစားထိုး၍မရပါ","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"worktree ပြောင်းလဲမှုများကို အစားထိုး၍မရပါ","localConversation.syncWorktreeV2.partial.appliedLabel":"လျှောက်ထားသည်","localConversation.syncWorktreeV2.partial.back":"နောက်သို့","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"ပဋိပက္ခများကို ဖြေရှင်းပြီး ထပ်လုပ်ဆောင်ကြည့်ပါ။","localConversation.syncWorktreeV2.partial.conflictsLabel":"ပဋိပက္ခများ","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# ဖိုင်}}","localConversation.syncWorktreeV2.partial.retry":"ထပ်မံကြိုးစားပါ","localConversation.syncWorktreeV2.partial.skippedLabel":"ကျော်ခဲ့သည်","localConversation.syncWorktreeV2.stateFailed.generic":"hand off လုပ်ရန် worktree ပြောင်းလဲမှုများကို ရယူနေစဉ် တစ်စုံတစ်ခု မှားယွင်းသွားပါသည်။ ထပ်လုပ်ဆောင်ကြည့်ပါ။","localConversation.syncWorktreeV2.stateFailed.title":"worktree ပြောင်းလဲမှုများကို တင်၍မရပါ","localConversation.syncWorktreeV2.statusError.diffUnknown":"worktree ပြောင်းလဲမှုများကို တင်၍မရပါ။","localConversation.syncWorktreeV2.statusError.retry":"ထပ်မံကြိုးစားပါ","localConversation.syncWorktreeV2.statusError.title":"ဒေသတွင်း အခွဲပြောင်းလဲမှုများကို load လုပ်၍မရပါ","localConversation.syncWorktreeV2.statusError.unknown":"အခွဲ အခြေအနေကို ယခုရရှိနိုင်ခြင်းမရှိပါ။ ထပ်လုပ်ဆောင်ကြည့်ပါ။","localConversation.syncWorktreeV2.success.apply":"ပြောင်းလဲမှုများကို အောင်မြင်စွာ အသုံးချပြီးပါပြီ","localConversation.syncWorktreeV2.success.overwrite":"Handoff အောင်မြင်ပါသည်","localConversation.syncWorktreeV2.title":"Handoff ပြောင်းလဲမှုများ","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"{count, plural, other {မေးခွန်းများ}} ကို မေးနေသည်","localConversation.userInputRequest.noAnswer":"အဖြေမပေးထားပါ","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"မေးခဲ့သည်","localConversation.userInputRequest.summary.count":"{count, plural, other {မေးခွန်း # ခု}}","localConversation.workedFor":"{time} အတွက် အလုပ်လုပ်ခဲ့သည်","localConversation.worktreeBranchSetup.action.create":"ဖန်တီးရန်","localConversation.worktreeBranchSetup.branchAriaLabel":"အခွဲ နာမည်","localConversation.worktreeBranchSetup.branchPlaceholder.new":"အခွဲအသစ်တစ်ခုဖန်တီးရန်","localConversation.worktreeBranchSetup.checkoutDisabled":"ဤ အခွဲကို {location} တွင် check out လုပ်ပြီးသားဖြစ်သည်။","localConversation.worktreeBranchSetup.checkoutError":"ဌာနခွဲကို စစ်ဆေး၍မရပါ- {message}","localConversation.worktreeBranchSetup.createBranchError":"အခွဲသတ်မှတ်၍မရပါ- {message}","localConversation.worktreeBranchSetup.error":"တစ်ခုခု မှားယွင်းနေသည်- {message}","localConversation.worktreeBranchSetup.subtitle":"ဤ worktree မှ ပြောင်းလဲမှုများကို commit လုပ်ရန်၊ push လုပ်ရန်နှင့် PR တစ်ခု ဖန်တီးရန် branch တစ်ခု ဖန်တီးပါ။ <a>ပိုမိုလေ့လာရန်</a>","localConversation.worktreeBranchSetup.title":"ဤနေရာတွင် အလုပ်လုပ်ပါ","localConversationPage.addWorktreeToSidebar.tooltip":"ဒီ worktree ကနေ thread အသစ်တွေကို စတင်နိုင်အောင် ပရောဂျက် အနေနဲ့ သိမ်းဆည်းပါ","localConversationPage.addWorktreeToSidebarError":"ပရောဂျက် ထည့်လို့ မရပါဘူး","localConversationPage.commitAndCreatePrModal.errorTitle":"PR ကို ကတိပြုပြီး ဖန်တီးခြင်း မအောင်မြင်ပါ","localConversationPage.commitAndCreatePrModal.successTitle":"Commit လုပ်ထားသော PR","localConversationPage.commitAndPushModal.errorTitle":"ကတိပြုပြီး တွန်းပို့ခြင်း မအောင်မြင်ပါ","localConversationPage.commitAndPushModal.successTitle":"ကတိကဝတ်ပြုပြီး တွန်းအားပေးသော ပြောင်းလဲမှုများ","localConversationPage.commitCreatePr.open":"Pull request ကို ဖွင့်ရန်","localConversationPage.commitCreatePr.successTitle":"နောက်ဆုံးပြောင်းလဲမှုတွေနဲ့ PR ကို ဖန်တီးထားပါတယ်","localConversationPage.createBranchButtonLabel":"ဤနေရာတွင် ခွဲထုတ်ပါ","localConversationPage.createPrModal.baseBranch":"ဘေ့စ်","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR ကိုဖန်တီးရန်","localConversationPage.createPrModal.createDescription":"သင့်ရဲ့ နောက်ဆုံးပြောင်းလဲမှုတွေအတွက် ကုဒ်ဆွဲယူရန် တောင်းဆိုမှု တစ်ခုကို ဖွင့်ပါ။","localConversationPage.createPrModal.errorTitle":"ကုဒ်ဆွဲယူရန် တောင်းဆိုမှု မအောင်မြင်ပါ","localConversationPage.createPrModal.headBranch":"ခေါင်း","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR ဖွင့်ရန်","localConversationPage.createPrModal.successTitle":"ကုဒ်ဆွဲယူတောင်းဆိုချက် ဖန်တီးခဲ့သည်","localConversationPage.createPrModal.title":"ကုဒ်ဆွဲယူရန် တောင်းဆိုမှုကို ဖန်တီးရန်","localConversationPage.createPrModal.viewDescription":"ဒီအခွဲ အတွက် ကုဒ်ဆွဲယူ တောင်းဆိုချက် တစ်ခု ရှိပြီးသားပါ။","localConversationPage.createPrModal.viewTitle":"ကုဒ်ဆွဲယူ တောင်းဆိုချက်အသင့်ဖြစ်ပါပြီ","localConversationPage.createPullRequestAuthGh":"GitHub CLI ကို စစ်ဆေးအတည်ပြုပါ - `gh auth login` ကို run ပါ","localConversationPage.createPullRequestBranchMissing":"အခွဲအချက်အလက် မရရှိနိုင်ပါ","localConversationPage.createPullRequestButtonLabel":"PR ကိုဖန်တီးရန်","localConversationPage.createPullRequestButtonLabel.loading":"PR ကိုဖန်တီးနေသည်...","localConversationPage.createPullRequestDefaultBranchMissing":"မူလ အခွဲ အချက်အလက် မရရှိနိုင်ပါ","localConversationPage.createPullRequestError":"ကုဒ်ဆွဲယူတောင်းဆိုချက်ဖန်တီး၍မရပါ","localConversationPage.createPullRequestExistingPullRequest":"ဒီအခွဲ အတွက် ကုဒ်ဆွဲယူ တောင်းဆိုချက် တစ်ခု ရှိပြီးသားပါ","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI အခြေအနေကို လုပ်ဆောင်နေသည်...","localConversationPage.createPullRequestInstallGh":"PR များကို ဖန်တီးရန် GitHub CLI (gh) ကို ထည့်ပါ","localConversationPage.createPullRequestNoRepo":"Git repository ရှာမတွေ့ပါ","localConversationPage.createPullRequestPushStatusMissing":"Push လုပ်ဆောင်မှု အခြေအနေကို တင်နေသည်...","localConversationPage.createPullRequestSetUpstream":"PR မဖန်တီးမီ ဤအခွဲကို Push လုပ်ပါ","localConversationPage.createPullRequestSuccessToast":"ကုဒ်ဆွဲယူတောင်းဆိုချက် ဖန်တီးခဲ့သည်","localConversationPage.createPullRequestSwitchBranch":"PR မဖန်တီးမီ လုပ်ဆောင်ချက်အခွဲကို စစ်ဆေးကြည့်ပါ","localConversationPage.error.render":"ဒေသခံ စကား၀ိုင်းကို ပုံဖော်ရာတွင် မှားယွင်းမှု","localConversationPage.error.toast":"စကားဝိုင်းကို ရှာမတွေ့ပါ","localConversationPage.forcePushError":"Push ကို ဇွတ်အတင်းတင်ရန် မအောင်မြင်ခဲ့","localConversationPage.generatePullRequestMessageError":"ကုဒ်ပူးတွဲ တောင်းဆိုမှု ခေါင်းစဉ်နှင့် စာကိုယ်ကို ထုတ်လုပ်၍မရပါ","localConversationPage.generatePullRequestMessageFailed":"ကုဒ်ပူးတွဲ တောင်းဆိုမှု ခေါင်းစဉ်နှင့် စာကိုယ်ကို ထုတ်လုပ်၍မရပါ။","localConversationPage.gitActionResult.branch":"အခွဲ","localConversationPage.gitActionResult.cancel":"ပယ်ဖျက်ရန်","localConversationPage.gitActionResult.close":"ပိတ်ရန်","localConversationPage.gitActionResult.tryAgain":"ထပ်မံလုပ်ဆောင်ကြည့်ပါ","localConversationPage.gitActions":"Git လုပ်ဆောင်မှုများ","localConversationPage.newChat":"ချတ်အသစ်","localConversationPage.openInTarget":"တွင်ဖွင့်သည်","localConversationPage.openPrimaryTarget":"ဖွင့်ရန်","localConversationPage.planItemsCompleted":"{completedItems} တွင် {totalItems, plural, other {# အလုပ်တာဝန် ပြီးပါပြီ}}","localConversationPage.pushAuthError":"Push မအောင်မြင်ပါ- အထောက်အထားစိစစ်ရန် လိုအပ်ပါသည်","localConversationPage.pushBranchMissing":"အခွဲအချက်အလက် မရရှိနိုင်ပါ","localConversationPage.pushButtonLabel":"ချက်ချင်းရနိုင်သော","localConversationPage.pushButtonLabel.loading":"တွန်းနေသည်...","localConversationPage.pushError":"အပြောင်းအလဲများကို တွန်းပို့ရန် ပျက်ကွက်ခဲ့သည်","localConversationPage.pushModal.branchLabel":"အခွဲ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"ပယ်ဖျက်ရန်","localConversationPage.pushModal.confirm":"ချက်ချင်းရနိုင်သော","localConversationPage.pushModal.description":"သင့်ရဲ့ နောက်ဆုံး commit တွေကို အဝေးထိန်းကုဒ်သိမ်းဆည်းမှုကို push လုပ်ပါ။","localConversationPage.pushModal.errorTitle":"Push ကို တင်ရန် မအောင်မြင်ခဲ့","localConversationPage.pushModal.forcePush":"Push ကို ဇွတ်အတင်းတင်ခြင်း","localConversationPage.pushModal.successTitle":"Push ကို တင်၍ပြီးပါပြီ","localConversationPage.pushModal.title":"Push အပြောင်းအလဲများ","localConversationPage.pushModal.tryAgain":"ထပ်မံလုပ်ဆောင်ကြည့်ပါ","localConversationPage.pushNoUpstream":"ဤအခွဲကို တွန်းပို့ခြင်း မပြုမီ အပ်စထရင်းတစ်ခု သတ်မှတ်ပါ","localConversationPage.pushNoUpstreamError":"Push မအောင်မြင်ပါ- upstream ကို ပြင်ဆင်ထားခြင်း မရှိပါ","localConversationPage.pushNothingToPush":"တွန်းပို့ရန် ကွန်မစ်အသစ် မရှိပါ","localConversationPage.pushRemoteChangedError":"Push မအောင်မြင်ပါ- remote တွင် commit အသစ်များရှိသည်","localConversationPage.pushRemoteRejectedError":"အဝေးထိန်းစနစ်ဖြင့် Push ကို ငြင်းပယ်ခဲ့သည်","localConversationPage.pushStatusMissing":"Push လုပ်ဆောင်မှု အခြေအနေကို တင်နေသည်...","localConversationPage.pushSuccessToast":"တွန်းအားပေးထားသော ပြောင်းလဲမှုများ","localConversationPage.viewPullRequestButtonLabel":"PR ကြည့်ရန်","localConversationPage.viewPullRequestButtonLabel.loading":"pull request ကို လုပ်ဆောင်နေသည်…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# ဖိုင်}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {စာရင်း # ခု}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {ရှာဖွေမှု # ခု}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"စူးစမ်းလေ့လာခြင်း","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"စူးစမ်းလေ့လာခဲ့သည်","localConversationTurn.exploration.accordion.header.complete.withCounts":"စူးစမ်းလေ့လာခဲ့သည် {counts}","localConversationTurnStory.showContent":"အကြောင်းအရာပြပါ","localConversationTurnStory.streamContent":"အကြောင်းအရာကို Stream လုပ်ပါ","localConversationTurnStory.toggleReasoning":"အကြောင်းပြချက်ပြပါ","localTaskRow.archiveError":"စကားဝိုင်းကို စုစည်းသိမ်းဆည်း၍ မရပါ","localTaskRow.resumeError":"လုပ်ငန်းကို ပြန်လည်စတင်၍မရပါ","mermaidDiagram.ariaLabel":"Mermaid diagram","mermaidDiagram.copySource":"mermaid ကို ကူးယူပါ","mermaidDiagram.originalCode":"Mermaid မူရင်းကုဒ်","notifications.permissions.description":"အကြောင်းကြားစာ ခွင့်ပြုချက်များ လိုအပ်သည့်အခါ သတိပေးချက်များကို ပြသပါ","notifications.permissions.label":"ခွင့်ပြုချက်အကြောင်းကြားချက်များကို ဖွင့်ပါ","notifications.turnMode.always":"အမြဲတမ်း","notifications.turnMode.description":"Codex က ပြီးဆုံးသွားပြီဆိုတာ သတိပေးတဲ့အခါ သတ်မှတ်ပါ","notifications.turnMode.label":"လှည့်ခြင်းပြီးစီးမှု အကြောင်းကြားစာများ","notifications.turnMode.off":"ဘယ်တော့မှ","notifications.turnMode.unfocused":"အာရုံမစိုက်တဲ့အခါမှသာ","patchApprovalRequest.approve":"ခွင့်ပြုရန်","patchApprovalRequest.menu.allowAlways":"ဟုတ်ကဲ့၊ ဒီဆက်ရှင်ကို ထပ်မမေးပါနဲ့","patchApprovalRequest.menu.allowForSession":"ဟုတ်ကဲ့၊ ဒီဆက်ရှင်မှာ ထပ်မမေးပါနဲ့။","patchApprovalRequest.menu.allowOnce":"ပြီးဆုံးပြီ","patchApprovalRequest.prompt":"ဒီပြောင်းလဲမှုတွေကို လုပ်ချင်ပါသလား။","patchApprovalRequest.reject":"မပြီးသေးပါ","patchApprovalRequest.waitingForApproval":"ဖိုင်များကို တည်းဖြတ်ရန် ခွင့်ပြုချက်ကို စောင့်ဆိုင်းနေပါသည်","pendingRequest.approvalExec.collapse":"ချုံ့ရန်","pendingRequest.approvalExec.expand":"ချဲ့ရန်","pendingRequestStory.toastAnswer":"အဖြေ - {answer}","pendingRequestStory.toastApprovalTitle":"ခွင့်ပြုချက်တုံ့ပြန်မှု","pendingRequestStory.toastFollowupPrompt":"တုံ့ပြန်ညွှန်ကြားချက်- {prompt}","pendingRequestStory.toastFollowupTitle":"နောက်ဆက်တွဲ ပေးပို့ပြီးပါပြီ","pendingRequestStory.toastNoAnswers":"အဖြေများ မပေးထားပါ","pendingRequestStory.toastQuestion":"အမေး - {question}","pendingRequestStory.toastUnknownDecision":"အမည်မသိ","pendingRequestStory.toastUserInputTitle":"တင်သွင်းထားသော အဖြေများ","quickAction.request.codeReview.branches.new":"ကျေးဇူးပြု၍ {from} နှင့် {to} တွင် ပြောင်းလဲမှုများကို ပြန်လည်သုံးသပ်ပါ","quickAction.request.codeReview.uncommitted.new":"commit မလုပ်ရသေးသော ပြောင်းလဲမှုများကို ပြန်လည်သုံးသပ်ပါ","reasoningItem.thinking":"စဉ်းစားနေပါတယ်","reasoningItem.thought":"တွေးရန်","reasoningItem.thoughtWithElapsed":"{elapsed} အတွင်း အတွေး","recentConversations.title":"လတ်တလော စကားဝိုင်းများ မရှိပါ","recentTasks.worktreeInitFailedTitle":"Worktree စတင်ခြင်း မအောင်မြင်ပါ","recentTasks.worktreeSettingUpTitle":"worktree စနစ်ထည့်သွင်းခြင်း","requestInputPanel.continue":"ဆက်ရန်","requestInputPanel.dismiss":"ပယ်ဖြုတ်ရန်","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ဒီမှာ စာရိုက်ပါ","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"မဟုတ်ဘူး၊ ပြီးတော့ Codex ကို ဘာလုပ်ရမလဲဆိုတာ ပြောပြပါ","requestInputPanel.selectedBadge":"ရွေးထားသော","requestInputPanel.skip":"ကျော်ရန်","requestInputPanel.submit":"ပေးပို့ရန်","review.commit.ariaLabel.includeUnstaged":"unstaged ပါဝင်သည်","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commit လုပ်နေသည်...","review.commit.disabled.loadingDiff":"ကွဲပြားမှုကို လုပ်ဆောင်နေသည်…","review.commit.disabled.missingContext":"commit မက်ဆေ့ချ်ထုတ်လုပ်ရန် ဆက်စပ် အကြောင်းအရာအချို့ထည့်ပါ","review.commit.disabled.noChanges":"Commit ပြောင်းလဲမှုများ မရှိပါ","review.commit.disabled.noSelection":"Commit ပြောင်းလဲမှုများကို ရွေးချယ်ပါ","review.commit.disabled.unavailable":"Commit ကို ယခု ရရှိနိုင်မည် မဟုတ်ပါ","review.commit.error":"ပြောင်းလဲမှုများကို commit လုပ်ရန် မအောင်မြင်ခဲ့ပါ","review.commit.form.changesToBeCommitted":"အပြောင်းအလဲများ","review.commit.form.commitTo":"အခွဲ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"ဆက်ရန်","review.commit.form.title":"သင့်ရဲ့ပြောင်းလဲမှုတွေကို Commit လုပ်လိုက်ပါ","review.commit.generate.emptyResponse":"commit မက်ဆေ့ချ်ထုတ်လုပ်၍မရပါ။","review.commit.generate.failed":"commit မက်ဆေ့ချ်ထုတ်လုပ်ရန် မအောင်မြင်ပါ- {error}","review.commit.generate.missingPrompt":"commit မက်ဆေ့ချ်ထုတ်လုပ်ရန် အကြောင်းအရာအချို့ထည့်ပါ။","review.commit.includeUnstaged":"unstaged ပါဝင်သည်","review.commit.loading.description":"ခဏစောင့်ပါ၊ ဒါက အချိန်အနည်းငယ် ကြာနိုင်ပါတယ်","review.commit.loading.step.commit.done":"commit မလုပ်ထားသော ပြောင်းလဲမှုများ","review.commit.loading.step.commit.pending":"အပြောင်းအလဲများ ပြုလုပ်နေသည်","review.commit.loading.step.createPr.done":"ကုဒ်ဆွဲယူရန် တောင်းဆိုမှုတစ်ခု ဖန်တီးခဲ့ပါတယ်","review.commit.loading.step.createPr.pending":"ကုဒ်ဆွဲယူရန် တောင်းဆိုမှုတစ်ခု ဖန်တီးခြင်း","review.commit.loading.step.push.done":"အခွဲ {branch}သို့ တွန်းပို့ခဲ့သည်","review.commit.loading.step.push.pending":"အခွဲ {branch}သို့ တွန်းပို့နေသည်","review.commit.loading.title.commit":"အပြောင်းအလဲများ ပြုလုပ်နေသည်","review.commit.loading.title.createPr":"PR တစ်ခု ဖန်တီးခြင်း","review.commit.loading.title.push":"ပြောင်းလဲမှုများကို တွန်းပို့နေသည်","review.commit.messageLabel":"Commit မက်ဆေ့ချ်","review.commit.messagePlaceholder":"commit message ကို အလိုအလျောက်ထုတ်ဖို့အတွက် ဗလာထားခဲ့ပါ","review.commit.nextSteps":"နောက်အဆင့်များ","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit လုပ်ပြီး PR ဖန်တီးပါ","review.commit.nextSteps.commitAndPush":"Commit လုပ်ပြီး တွန်းပို့ရန်","review.commit.nextSteps.prRequiresGh":"GitHub CLI လိုအပ်သည်- {command}","review.commit.rows.changes":"အပြောင်းအလဲများ","review.commit.rows.commitCount":"{count, plural, other {Commit #ခု}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {commit # ခု}} နှင့် {stats}","review.commit.rows.fileCount":"{count, plural, other {# ဖိုင်}}","review.commit.state.error.body":"commit လုပ်နေစဉ် တစ်စုံတစ်ခု မှားယွင်းသွားပါသည်။ သင့် git status ကို စစ်ဆေးပြီး ထပ်လုပ်ဆောင်ကြည့်ပါ။","review.commit.state.error.title":"Commit မအောင်မြင်ပါ","review.commit.state.success.title":"အပြောင်းအလဲများ Commit ခဲ့သည်","review.commit.untracked.loadingStats":"ခြေရာမခံရသေးသော ကွဲပြားမှု စာရင်းများကို လုပ်ဆောင်နေသည်…","reviewFindingAttachments.count":"{count, plural, other {# တွေ့ရှိချက်များ}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"အေးဂျင့်အပြုအမူကို စိတ်ကြိုက်ပြင်ဆင်ရန် သင့် ပုံပန်းသဏ္ဌာန်ကို တည်းဖြတ်ပါ","settings.agent.configuration.configToml.docs":"စာရွက်စာတမ်းများ","settings.agent.configuration.configToml.restartNote":"ပြောင်းလဲမှုများကို ကျင့်သုံးရန် တည်းဖြတ် ပြီးနောက် Codex ပြန်စတင်ပါ","settings.agent.configuration.subtitle":"ဤဆက်တင်များသည် Codex သုံးသည့်နေရာတိုင်းနှင့် သက်ဆိုင်သည်","settings.automations.banner.danger":"အလိုအလျောက်လုပ်ဆောင်မှုများသည် သင်၏ ပုံသေ sandbox ဆက်တင်များဖြင့် လုပ်ဆောင်ပြီး လက်ရှိတွင် အပြည့်အ၀ ဝင်သုံးခွင့်သို့ သတ်မှတ်ထားသည်။ အပြည့်အ၀ ဝင်သုံးခွင့်ဖြင့် နောက်ခံ အလိုအလျောက်စနစ်များကို လုပ်ဆောင်ခြင်းသည် Codex သည် ဖိုင်များကို ပြုပြင်မွမ်းမံခြင်း၊ command များကို လုပ်ဆောင်ခြင်းနှင့် ကွန်ယက်ကို ဝင်ရောက်ခြင်းတို့ကို မတောင်းဆိုဘဲ ပြုလုပ်နိုင်သောကြောင့် အန္တရာယ်မြင့်မားသည်။ sandbox ဆက်တင်များကို အလုပ်နေရာ ရေးသားခြင်းသို့ အက်ပ်ဒိတ် လုပ်ခြင်းနှင့် အေးဂျင့် သည် အပြည့်အ၀ ဝင်သုံးခွင့်ဖြင့် လုပ်ဆောင်နိုင်သည့် command များကို ရွေးချယ်သတ်မှတ်ရန် <rulesDocsLink>စည်းကမ်းများ</rulesDocsLink> ကို သုံးဖို့ စဉ်းစားပါ။","settings.automations.banner.defaultHowTo.default":"အလိုအလျောက်လုပ်ဆောင်မှုများသည် သင်၏ ပုံသေ sandbox ဆက်တင်များဖြင့် လုပ်ဆောင်သည်။ အလုပ်နေရာ ပြင်ပရှိ ဖိုင်များကို ပြုပြင်မွမ်းမံခြင်း၊ ကွန်ယက်ကို ဝင်ရောက်ခြင်း သို့မဟုတ် သင်၏ကွန်ပျူတာရှိ app များနှင့် အလုပ်လုပ်ခြင်း လိုအပ်ပါက ကိရိယာ ခေါ်ဆိုမှုများ မအောင်မြင်ပါ။ <rulesDocsLink>စည်းမျဉ်း</rulesDocsLink> ကို အသုံးပြု၍ sandbox ပြင်ပတွင် လုပ်ဆောင်ရန် ခွင့်ပြုစာရင်း command များကို ရွေးချယ်နိုင်သည်။","settings.automations.banner.defaultHowTo.readOnly":"အလိုအလျောက်စနစ်များသည် သင်၏ မူရင်း sandbox ဆက်တင်များဖြင့် လည်ပတ်ပြီး ၎င်းတို့ကို ဖတ်ရန်သီးသန့်သာ အဖြစ် သတ်မှတ်ထားသည်။ ဖိုင်များကို ပြုပြင်ခြင်း၊ ကွန်ရက်သို့ ဝင်ရောက်ခြင်း သို့မဟုတ် သင့်ကွန်ပျူတာရှိ အက်ပ်များနှင့် အလုပ်လုပ်ရန် လိုအပ်ပါက Tool ခေါ်ဆိုမှုများ မအောင်မြင်ပါ။ workspace ရေးသားရန် sandbox ဆက်တင်များကို အပ်ဒိတ်လုပ်ရန် စဉ်းစားပါ။","settings.automations.cancel":"ပယ်ဖျက်ရန်","settings.automations.create":"ဖန်တီးရန်","settings.automations.cwdEmpty":"ပရောဂျက်ဖိုင်တွဲများ မရှိပါ","settings.automations.cwdLabel":"စီမံကိန်းများ","settings.automations.cwdPlaceholder":"ဖိုဒါတစ်ခု ရွေးချယ်ပါ","settings.automations.cwdSubtitle":"သင်သည် သတ်မှတ်ထားသော အခွဲတွင် automation တစ်ခုကို လုပ်ဆောင်စေလိုပါက သင်၏ တုံ့ပြန်ညွှန်ကြားချက် တွင် သတ်မှတ်နိုင်သည်။","settings.automations.delete":"ဖျက်ရန်","settings.automations.dialog.editTitle":"အလိုအလျောက်လုပ်ဆောင်ခြင်း တည်းဖြတ်ရန်","settings.automations.dialog.newTitle":"အလိုအလျောက်စနစ်အသစ်","settings.automations.dialog.subtitle":"နောက်ခံတွင် ထပ်တလဲလဲ လုပ်ဆောင်နေသော အလုပ်များကို အလိုအလျောက် လုပ်ဆောင်ပါ။ Codex သည် တွေ့ရှိချက်များကို inbox ထဲသို့ ထည့်သွင်းသည် သို့မဟုတ် အစီရင်ခံရန် ဘာမှမရှိပါက အလုပ်တစ်ခုကို အလိုအလျောက် archive လုပ်သည်။ <learnMoreLink>ပိုမိုလေ့လာရန်</learnMoreLink>","settings.automations.dialog.title":"အလိုအလျောက်လုပ်ဆောင်ခြင်း ဖန်တီးရန်","settings.automations.executionCopy.git":"Git ပရောဂျက်များကို သီးသန့်နောက်ခံ worktree များတွင် လုပ်ဆောင်ပါသည်။","settings.automations.executionCopy.local":"ရွေးချယ်ထားသော ပရောဂျက် လမ်းညွှန်များတွင် အလိုအလျောက် လုပ်ဆောင်မှုများသည် တိုက်ရိုက်လည်ပတ်သည်။","settings.automations.executionCopy.nonGit":"worktree များသည် Git လိုအပ်သောကြောင့် ဗားရှင်းထိန်းချုပ်မထားသော ပရောဂျက်များကို ဒေသတွင်းတွင်သာ လုပ်ဆောင်ပါသည်။","settings.automations.executionEnvironment.ariaLabel":"အကောင်အထည်ဖော်မှု ပတ်ဝန်းကျင်","settings.automations.executionEnvironment.label":"အကောင်အထည်ဖော်မှု ပတ်ဝန်းကျင်","settings.automations.executionEnvironment.local":"ဒေသတွင်း","settings.automations.executionEnvironment.local.help":"worktree မဖန်တီးဘဲ ရွေးချယ်ထားသော project directory တွင် တိုက်ရိုက် run သည်။","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.executionEnvironment.worktree.help":"ရွေးချယ်ထားသော ပရောဂျက်မှ ဖန်တီးထားသော သီးသန့် Git worktree တွင် လုပ်ဆောင်ပြီး သင်၏ လက်ရှိငွေရှင်းခြင်းကို မထိပါ။","settings.automations.loading":"လုပ်ဆောင်နေသည်...","settings.automations.nameLabel":"အမည်","settings.automations.namePlaceholder":"ကင်းထောက်ပြဿနာများကို စစ်ဆေးပါ","settings.automations.pause":"ခဏရပ်ပါ","settings.automations.promptLabel":"တုံ့ပြန်ညွှန်ကြားချက်","settings.automations.promptPlaceholder":"$Sentryတွင် ပျက်ကျမှုများကို ရှာဖွေပါ","settings.automations.resume":"ပြန်လည်စတင်ရန်","settings.automations.rruleSummaryFallback":"စိတ်ကြိုက်အချိန်ဇယား","settings.automations.runNow":"စမ်းသပ်ချက်","settings.automations.save":"သိမ်းရန်","settings.automations.scheduleBadge.dayCount":"{count} ရက်","settings.automations.scheduleBadge.interval":"{count}နာရီ","settings.automations.scheduleBadge.weekdays":"ရုံးဖွင့်ရက်များ","settings.automations.scheduleBadge.weekends":"ရုံးပိတ်ရက်များ","settings.automations.scheduleHeader":"အချိန်ဇယား","settings.automations.scheduleHours":"နာရီ","settings.automations.scheduleLabel":"လုပ်ဆောင်ပါ","settings.automations.scheduleMode.daily":"နေ့စဉ်","settings.automations.scheduleMode.interval":"ကြားကာလတိုင်း","settings.automations.scheduleModeLabel":"အချိန်ဇယား အမျိုးအစား","settings.automations.scheduleSummary.daily":"နေ့စဉ် {time}တွင်","settings.automations.scheduleSummary.interval":"{count} နာရီတိုင်း","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# ရက်}}","settings.automations.scheduleSummary.intervalDays":"{days}တွင် {interval} ကို ဖွင့်ရန်","settings.automations.scheduleSummary.intervalHourly":"နာရီတိုင်း","settings.automations.scheduleSummary.singleDay":"{day} သည် {time} တွင်","settings.automations.scheduleSummary.weekdays":"ရုံးဖွင့်ရက် {time}တွင်","settings.automations.scheduleSummary.weekdaysLabel":"ရုံးဖွင့်ရက်များ","settings.automations.scheduleSummary.weekends":"ရုံးပိတ်ရက် {time}တွင်","settings.automations.scheduleSummary.weekendsLabel":"ရုံးပိတ်ရက်များ","settings.automations.scheduleSummary.weekly":"{days} သည် {time} တွင်","settings.automations.scheduleWeekdays":"ဖွင့်ရန်","settings.automations.weekdayState.excluded":"ချန်လှပ်ထားသည်","settings.automations.weekdayState.included":"ထည့်သွင်းထားသည်","settings.conversationDetail.steps":"ခြေလှမ်းများ","settings.conversationDetail.steps.description":"command များနှင့် output များကို ဝှက်ပါ","settings.conversationDetail.stepsWithCommands":"ကုဒ်ညွှန်ကြားချက်များ နှင့်အတူ အဆင့်များ","settings.conversationDetail.stepsWithCommands.description":"ညွှန်ကြားချက်များကိုပြပါ၊ အထွက်ကို ခေါက်ပါ","settings.conversationDetail.stepsWithOutput":"ကုဒ်ထုတ်ပေးမှုနှင့်အတူ အဆင့်များ","settings.conversationDetail.stepsWithOutput.description":"command များကိုပြပြီး output ကိုချဲ့ထွင်ပါ","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"စုစည်းသိမ်းဆည်းထားသော  ချတ်များမရှိပါ","settings.dataControls.archivedChats.error":"စုစည်းသိမ်းဆည်းထားသော ချတ်များကို လုပ်ဆောင်၍မရပါ။","settings.dataControls.archivedChats.loading":"စုစည်းသိမ်းဆည်းထားသော ချတ်များကို လုပ်ဆောင်နေသည်…","settings.dataControls.archivedChats.unarchive":"စုစည်းသိမ်းဆည်းမှုမှ ဖယ်ရှားရန်","settings.dataControls.archivedChats.unarchiveError":"ချတ်ကို စုစည်းသိမ်းဆည်းထားခြင်းမှ ပယ်ဖျက်၍မရပါ","settings.dataControls.archivedChats.unarchiveSuccess":"မစုစည်းမသိမ်းဆည်းထားသော thread။ <viewNowLink>ယခုကြည့်ရှုပါ</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"ယခုကြည့်ရှုပါ","settings.dataControls.archivedChats.untitled":"ခေါင်းစဉ်မဲ့ချတ်","settings.dataControls.archivedChats.viewNow":"Codex ဖြင့် အစီအစဉ်တစ်ခု ဖန်တီးပါ","settings.editRow.headerPlaceholder":"သော့","settings.editRow.removeEntry":"ထည့်သွင်းမှုကို ဖယ်ရှားပါ","settings.editRow.valuePlaceholder":"တန်ဖိုး","settings.general.appearance":"အသွင်အပြင်","settings.general.appearance.codeFont":"ကုဒ်ဖောင့်","settings.general.appearance.codeFont.description":"ချတ်များနှင့် ကွဲပြားမှုများတစ်လျှောက်တွင် ကုဒ်အတွက် အသုံးပြုသော ဖောင့်နှင့် အရွယ်အစားကို ချိန်ညှိပါ","settings.general.appearance.codeFontFamily":"ကုဒ်ဖောင့်အမျိုးအစား","settings.general.appearance.codeFontSize":"ကုဒ်ဖောင့်အရွယ်အစား","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ဝင်းဒိုးများကို စနစ်၏ ကြည်လင်ပြတ်သားမှု အစား ခိုင်မာသောနောက်ခံကို သုံးပါ","settings.general.appearance.opaqueWindows.label":"မှုန်ဝါးနေသော ဝင်းဒိုးနောက်ခံကို သုံးပါ","settings.general.appearance.sansFontFamily":"Sans ဖောင့်အမျိုးအစား","settings.general.appearance.sansFontFamily.description":"Codex UI အတွက် ဖောင့်ကို ချိန်ညှိပါ","settings.general.appearance.sansFontSize":"Sans စာသား အရွယ်အစား","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark ကို ပထမ အလှည့် လည်ပတ်နေချိန်မှာ ဝင်းဒိုးအပြည့် အောင်ပွဲခံ ပုံရိပ်တွေကို ပြပါ။","settings.general.appearance.sparkCelebrationEffects.label":"အောင်ပွဲခံ ပုံရိပ်များ","settings.general.appearance.theme":"နောက်ခံပုံစံ","settings.general.appearance.theme.dark":"အမှောင်","settings.general.appearance.theme.description":"အလင်း၊ အမှောင်ကို အသုံးပြုပါ သို့မဟုတ် သင့်စနစ်နှင့် ကိုက်ညီအောင်ထားပါ","settings.general.appearance.theme.light":"အလင်း","settings.general.appearance.theme.system":"စနစ်","settings.general.appearance.usePointerCursors.description":"အပြန်အလှန်အကျိုးသက်ရောက်သော element များပေါ်တွင် ရွှေ့သည့်အခါ cursor ကို pointer အဖြစ် ပြောင်းလဲပါ။","settings.general.appearance.usePointerCursors.label":"pointer cursor များကို အသုံးပြုပါ","settings.general.enterBehavior.description":"ဖွင့်ထားသည့်အခါ စာကြောင်းများစွာပါသည့် တုံ့ပြန်ညွှန်ကြားချက်များ ပို့ရန် {modifierSymbol} + enter လိုအပ်သည်။","settings.general.enterBehavior.label":"ရှည်လျားသော တုံ့ပြန်ညွှန်ကြားချက်များ ပို့ရန် {modifierSymbol} + enter လိုအပ်သည်။","settings.general.experimentalFeatures":"စမ်းသပ်ဆဲ အင်္ဂါရပ်များ (ဘီတာ)","settings.general.experimentalFeatures.empty":"ဘီတာ စမ်းသပ်ဝန်ဆောင်မှုများ မရရှိနိုင်ပါ။","settings.general.experimentalFeatures.loading":"စမ်းသပ် အင်္ဂါရပ်များကို တင်နေသည်…","settings.general.experimentalFeatures.restartNote":"စမ်းသပ် အင်္ဂါရပ်ပြောင်းလဲမှုများကို အသုံးချရန် Codex ကို ပြန်လည်စတင်ပါ","settings.general.experimentalFeatures.toggle":"{featureName}ကို ဖွင့်၊ ပိတ်ရန်","settings.general.followUpQueueMode.description":"Codex လည်ပတ်နေစဉ် နောက်ဆက်တွဲများကို တန်းစီပါ သို့မဟုတ် လက်ရှိလည်ပတ်မှုကို ထိန်းကျောင်းပါ။ မက်ဆေ့ချ်တစ်ခုအတွက် ပြောင်းပြန်လုပ်ရန် {invertFollowUpShortcutLabel} ကိုနှိပ်ပါ။","settings.general.followUpQueueMode.interrupt":"ထိန်းကျောင်း","settings.general.followUpQueueMode.label":"နောက်ဆက်တွဲ အပြုအမူ","settings.general.followUpQueueMode.queue":"တန်းစီခြင်း","settings.general.notifications":"အသိပေးချက်များ","settings.general.power.preventSleepWhileRunning.description":"Codex က thread တစ်ခုကို run နေချိန်မှာ ကွန်ပျူတာကို ဖွင့်ထားပါ။","settings.general.power.preventSleepWhileRunning.label":"run နေချိန်မှာ ကွန်ပျူတာပိတ်သွားခြင်းမှကာကွယ်ရန်","settings.git.branchPrefix.ariaLabel":"အခွဲ နောက်ဆက်တွဲ","settings.git.branchPrefix.description":"Codex မှာ အခွဲ အသစ်တွေ ဖန်တီးတဲ့အခါ အသုံးပြုတဲ့ နောက်ဆက်တွဲ","settings.git.branchPrefix.label":"အခွဲ နောက်ဆက်တွဲ","settings.git.branchPrefix.placeholder":"Codex","settings.git.branchPrefix.save.error":"အခွဲ နောက်ဆက်တွဲကို သိမ်းဆည်း၍မရပါ","settings.git.branchPrefix.save.success":"အခွဲ နောက်ဆက်တွဲကို သိမ်းဆည်းထားသည်","settings.git.commitInstructions.ariaLabel":" ညွှန်ကြားချက်များ Commit လုပ်ခြင်း","settings.git.commitInstructions.description":"Commit မက်ဆေ့ချ် ထုတ်လုပ်ခြင်းဆိုင်ရာ တုံ့ပြန်ညွှန်ကြားချက်များတွင် ထည့်သွင်းထားသည်","settings.git.commitInstructions.label":" ညွှန်ကြားချက်များ Commit လုပ်ခြင်း","settings.git.commitInstructions.placeholder":"commit မက်ဆေ့ချ်လမ်းညွှန်ချက်ထည့်ပါ…","settings.git.commitInstructions.save":"သိမ်းရန်","settings.git.commitInstructions.save.error":"commit ညွှန်ကြားချက်များကို သိမ်းဆည်းရန် မအောင်မြင်ပါ","settings.git.commitInstructions.save.success":"သိမ်းဆည်းထားသော commit ညွှန်ကြားချက်များ","settings.git.forcePush.ariaLabel":"အမြဲတမ်း အတင်းတွန်းအားပေးပါ","settings.git.forcePush.description":"Codex မှ push သည့်အခါ --force-with-lease ကိုသုံးပါ","settings.git.forcePush.label":"အမြဲတမ်း အတင်းတွန်းပါ","settings.git.forcePush.save.disabled":"အမြဲတမ်း အတင်းတွန်းခြင်းကို ပိတ်ထားသည်","settings.git.forcePush.save.enabled":"အမြဲတမ်း အတင်းတွန်းခြင်းကို ဖွင့်ထားသည်","settings.git.forcePush.save.error":"အတင်းတွန်းပို့ခြင်း ဆက်တင်ကို သိမ်းဆည်း၍မရပါ","settings.git.prInstructions.ariaLabel":"ကုဒ်ပူးတွဲ တောင်းဆိုမှုညွှန်ကြားချက်များ","settings.git.prInstructions.description":"Codex မှ ဖန်တီးထားသော ကုဒ်ပူးတွဲ တောင်းဆိုမှုညွှန်ကြားချက် ကိုယ်ထည်များတွင် ပူးတွဲထားသည်","settings.git.prInstructions.label":"ကုဒ်ပူးတွဲ တောင်းဆိုမှုညွှန်ကြားချက်များ","settings.git.prInstructions.placeholder":"ကုဒ်ပူးတွဲ တောင်းဆိုမှု လမ်းညွှန်ချက်ထည့်ပါ…","settings.git.prInstructions.save":"သိမ်းရန်","settings.git.prInstructions.save.error":"ကုဒ်ပူးတွဲ တောင်းဆိုမှု ညွှန်ကြားချက်များကို သိမ်းဆည်း၍မရပါ","settings.git.prInstructions.save.success":"သိမ်းဆည်းထားသော ကုဒ်ပူးတွဲ တောင်းဆိုမှု ညွှန်ကြားချက်များ","settings.ide.defaultOpenTarget.description":"ဖိုင်များနှင့် ဖိုင်တွဲများကို မူရင်းအတိုင်းဖွင့်သည့်နေရာများ","settings.ide.defaultOpenTarget.label":"မူရင်းဖွင့်လှစ်ထားသော ဦးတည်ရာ","settings.ide.defaultOpenTarget.placeholder":"ပစ်မှတ်များ မတွေ့ပါ","settings.ide.language.auto":"အလိုအလျောက်-ဖမ်းယူပါ","settings.ide.language.autoOption":"အလိုအလျောက်-ဖမ်းယူပါ","settings.ide.language.description":"အက်ပ် UI အတွက် ဘာသာစကား","settings.ide.language.label":"ဘာသာစကား","settings.ide.language.search":"ဘာသာစကားများကို ရှာဖွေပါ","settings.layout.actionButton":"တိုးချဲ့မှု စတင်ပါ","settings.layout.actionTitle":"လုပ်ဆောင်မှုပါဝင်သော ဆက်တင်များ","settings.layout.fullWidthTitle":"ဆက်တင်များ (အကျယ် အပြည့်)","settings.layout.title":"ဆက်တင်များ","settings.localEnvironments.actions.add":"လုပ်ဆောင်မှု ထည့်ရန်","settings.localEnvironments.actions.add.description":"toolbar ကနေ run ဖို့ command အသစ်တစ်ခု ဖန်တီးပါ။","settings.localEnvironments.actions.add.save":"သိမ်းရန်","settings.localEnvironments.actions.empty":"ဒေသတွင်း toolbar မှ command များကို run ရန် လုပ်ဆောင်မှု တစ်ခုထည့်ပါ။","settings.localEnvironments.actions.icon.debug":"ချို့ယွင်းချက်ရှာဖွေရန်","settings.localEnvironments.actions.icon.run":"လုပ်ဆောင်ရန်","settings.localEnvironments.actions.icon.test":"စမ်းသပ်ချက်","settings.localEnvironments.actions.icon.tool":"ကိရိယာ","settings.localEnvironments.actions.item.button.delete":"ဖျက်ရန်","settings.localEnvironments.actions.item.command":"အက်ရှင်ဇာတ်ညွှန်း","settings.localEnvironments.actions.item.name":"အမည်","settings.localEnvironments.actions.item.platforms":"ပလက်ဖောင်းများ","settings.localEnvironments.actions.item.platforms.help":"သတ်မှတ်ထားသော OS တွင်သာ လည်ပတ်ပါ။","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"ပလက်ဖောင်း ရွေးချယ်မှု","settings.localEnvironments.actions.item.platforms.specific":"ပလက်ဖောင်း အလိုက်","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"ဖျက်ရန်","settings.localEnvironments.actions.title":"လုပ်ဆောင်မှုများ","settings.localEnvironments.breadcrumb.back":"နောက်သို့","settings.localEnvironments.breadcrumb.edit":"တည်းဖြတ်ရန်","settings.localEnvironments.breadcrumb.root":"ပတ်ဝန်းကျင်များ","settings.localEnvironments.environment.actions.description":"ဤလုပ်ဆောင်ချက်များကို မည်သည့် command တွင်မဆို လုပ်ဆောင်နိုင်ပြီး ခေါင်းစီးတွင် ပြသပါမည်။","settings.localEnvironments.environment.actionsLabel":"လုပ်ဆောင်မှုများ","settings.localEnvironments.environment.create":"ဒေသတွင်း ပတ်ဝန်းကျင်ကို ဖန်တီးပါ","settings.localEnvironments.environment.defaultName":"ဒေသတွင်း","settings.localEnvironments.environment.edit":"ဒေသတွင်း ပတ်ဝန်းကျင်ကို တည်းဖြတ်ပါ","settings.localEnvironments.environment.empty":"ဤပရောဂျက်အတွက် ဒေသတွင်းပတ်ဝန်းကျင်ကို ပြင်ဆင်သတ်မှတ်ခြင်း မရှိသေးပါ။","settings.localEnvironments.environment.name":"အမည်","settings.localEnvironments.environment.setup":"သတ်မှတ်မှု စခရစ်","settings.localEnvironments.environment.setup.description":"ဒီစခရစ်က worktree ဖန်တီးမှုမှာ run ပါလိမ့်မယ်။","settings.localEnvironments.environment.setup.hint":"ပရောဂျက်ရင်းမြစ်အားလုံးအတွက် ပင်မဖိုင်လ်ဒါတွင် လုပ်ဆောင်သည်။","settings.localEnvironments.environment.setup.platformOverrides":"ပလက်ဖောင်း အစားထိုးမှုများ","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} သတ်မှတ်မှု စခရစ် ထည့်ပါ","settings.localEnvironments.environment.setup.platformOverrides.description":"သတ်မှတ်ထားသော OS များအတွက် ပုံသေ စခရစ်ကို အစားထိုးသည်။","settings.localEnvironments.environment.setup.platformOverrides.remove":"ဖယ်ရှားရန်","settings.localEnvironments.environment.setup.script":"စခရစ်","settings.localEnvironments.environment.title":"ပတ်ဝန်းကျင် အသေးစိတ်များ","settings.localEnvironments.file.missing":"ဤဖိုင်ကို ပထမဆုံးအကြိမ် ဖန်တီးရန် သိမ်းဆည်းပါ။","settings.localEnvironments.file.parseError":"ရှိပြီးသားဖိုင်ကို ခွဲခြမ်းစိတ်ဖြာ၍မရပါ။ သိမ်းဆည်းခြင်းသည် ၎င်းကို အစားထိုးပါလိမ့်မည်။ ({error})","settings.localEnvironments.file.path":"ဖိုင်-{path}","settings.localEnvironments.file.readError":"ဒေသတွင်းပတ်ဝန်းကျင်ဒေတာကို လုပ်ဆောင်၍မရပါ။ ({error})","settings.localEnvironments.file.title":"ဒေသတွင်းပတ်ဝန်းကျင်ဖိုင်","settings.localEnvironments.loading.body":"သင့်ပရောဂျက် ပြင်ဆင်သတ်မှတ်မှုကို ရယူနေပါသည်။","settings.localEnvironments.loading.title":"ဒေသတွင်းပတ်ဝန်းကျင်များကို တင်နေသည်","settings.localEnvironments.preview.devOnly":"(DEV သီးသန့်)","settings.localEnvironments.preview.save":"သိမ်းရန်","settings.localEnvironments.preview.saveError":"ဖိုင်ကို သိမ်းဆည်း၍မရပါ။ ({error})","settings.localEnvironments.preview.title":"နမူနာကြည့်ရန်","settings.localEnvironments.save.disabled.name":"သိမ်းဆည်းရန် ပတ်ဝန်းကျင်အမည်တစ်ခု ထည့်ပါ။","settings.localEnvironments.save.disabled.noChanges":"သိမ်းဆည်းရန် ပြောင်းလဲမှုများ မရှိပါ။","settings.localEnvironments.save.disabled.saving":"သိမ်းဆည်းနေသည်...","settings.localEnvironments.save.success":"သိမ်းဆည်းထားသော ဒေသတွင်းပတ်ဝန်းကျင်","settings.localEnvironments.unavailable.body":"ဤအလုပ်နေရာအတွက် ဒေသတွင်းပတ်ဝန်းကျင်ဆက်တင်များကို လုပ်ဆောင်၍မရပါ။","settings.localEnvironments.unavailable.title":"ဒေသတွင်း ပတ်ဝန်းကျင်များ မရရှိနိုင်ပါ","settings.localEnvironments.workspace.add":"ပရောဂျက် ထည့်ရန်","settings.localEnvironments.workspace.title":"ပရောဂျက်","settings.localEnvironments.workspaceSelect.addLabel":"ပတ်ဝန်းကျင်ထည့်ရန်","settings.localEnvironments.workspaceSelect.description":"ဒေသတွင်း ပတ်ဝန်းကျင်များသည် အလုပ်နေရာ အတွက် worktree များကို မည်သို့ setup လုပ်ရမည်ကို Codex အား ပြောပြသည်။ {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ပရောဂျက်များ မရှိသေးပါ။ ဒေသတွင်း ပတ်ဝန်းကျင်များကို ပြင်ဆင် သတ်မှတ်ရန် တစ်ခုထည့်ပါ။","settings.localEnvironments.workspaceSelect.errorLabel":"ပတ်ဝန်းကျင်ကို အာရုံစိုက်ဖို့ လိုအပ်ပါတယ်","settings.localEnvironments.workspaceSelect.learnMore":"ပိုမိုသိရှိရန်","settings.localEnvironments.workspaceSelect.listLabel":"ရရှိနိုင်သော ပရောဂျက်များ","settings.localEnvironments.workspaceSelect.loading":"ပရောဂျက်များကို ဖွင့်နေသည်။","settings.localEnvironments.workspaceSelect.loadingLabel":"ပတ်ဝန်းကျင် လုပ်ဆောင်နေသည်","settings.localEnvironments.workspaceSelect.title":"ပရောဂျက်တစ်ခုကို ရွေးချယ်ပါ","settings.localEnvironments.workspaceSelect.viewAction":"ကြည့်ရန်","settings.mcp.addServer":"ဆာဗာထည့်ပါ","settings.mcp.app.configure":"ပြုပြင်မွမ်းမံရန်","settings.mcp.app.connect":"ချိတ်ဆက်ရန်","settings.mcp.apps.refresh":"ပြန်စဖွင့်ရန်","settings.mcp.detail.addArgument":"အကြောင်းပြချက်ထည့်ပါ","settings.mcp.detail.addEnvVar":"ပတ်ဝန်းကျင်ပြောင်းလဲမှုကိုထည့်ပါ","settings.mcp.detail.addEnvVarPassthrough":"ပြောင်းလဲမှုကိုထည့်ပါ","settings.mcp.detail.args":"အငြင်းပွားမှုများ","settings.mcp.detail.back":"နောက်သို့","settings.mcp.detail.command":"စတင်ရန် အမိန့်ပေးချက်","settings.mcp.detail.cwd":"အလုပ်လုပ်သော လမ်းညွှန်စာအုပ်","settings.mcp.detail.docs":"MCP စာရွက်စာတမ်း ဖွင့်ရန်","settings.mcp.detail.docs.link":"စာရွက်စာတမ်းများ","settings.mcp.detail.envVarPassthrough":"ပတ်ဝန်းကျင် ကိန်းရှင် ဖြတ်သန်းမှု","settings.mcp.detail.envVars":"ပတ်ဝန်းကျင် ကိန်းရှင်များ","settings.mcp.detail.http.addEnvHeader":"ပြောင်းလဲမှုကိုထည့်ပါ","settings.mcp.detail.http.addHeader":"ခေါင်းစီးထည့်ပါ","settings.mcp.detail.http.bearerToken":"ကိုင်ဆောင်သူ တိုကင် env var","settings.mcp.detail.http.envHeaders":"ပတ်ဝန်းကျင် ကိန်းရှင်များမှ ခေါင်းစီးများ","settings.mcp.detail.http.headers":"ခေါင်းစီးများ","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"အမည်","settings.mcp.detail.save":"သိမ်းရန်","settings.mcp.detail.switchTransportNotice":"MCP ဆာဗာ အမျိုးအစားကို ပြောင်းလဲလိုပါက ဦးစွာ ထည့်သွင်းပါ။","settings.mcp.detail.titleExisting":"{name} MCP အပ်ဒိတ်လုပ်ရန်","settings.mcp.detail.titleNew":"စိတ်ကြိုက် MCP သို့ ချိတ်ဆက်ပါ","settings.mcp.detail.transport.http":"တိုက်ရိုက်ကြည့်ရှုနိုင်သော HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"အင်စတောလုပ်ထားသည်ကိုဖျက်ရန်","settings.mcp.empty":"စိတ်ကြိုက် MCP ဆာဗာများ ချိတ်ဆက်ထားခြင်း မရှိပါ။","settings.mcp.myServers":"စိတ်ကြိုက်ဆာဗာများ","settings.mcp.partnerServer.description.figma":"Figma နောက်ခံ အချက်အလက် အပြည့်အစုံကို ယူဆောင်လာခြင်းဖြင့် ပိုမိုကောင်းမွန်သော ကုဒ်ကို ထုတ်လုပ်ပါ","settings.mcp.partnerServer.description.github":"လုပ်ငန်းစဉ်များကို အလိုအလျောက် လုပ်ဆောင်ရန်နှင့် ဒေတာများကို ထုတ်ယူရန် GitHub API များနှင့် ပေါင်းစပ်ပါ","settings.mcp.partnerServer.description.linear":"Linear ၏ ပြဿနာ ခြေရာခံခြင်းနဲ့ ပရောဂျက်စီမံမှုဖြင့် ပေါင်းစပ်ပါ","settings.mcp.partnerServer.description.notion":"စာရွက်စာတမ်းများဖတ်ပါ၊ စာမျက်နှာများကို အပ်ဒိတ်လုပ်ပါ၊ အလုပ်များကို စီမံပါ","settings.mcp.partnerServer.description.playwright":"ဒီဇိုင်းကို အကောင်အထည်ဖော်ရန်နှင့် UI ကို စမ်းသပ်ရန် ဘရောက်ဇာအလိုအလျောက်လုပ်ဆောင်ခြင်းကို ပေါင်းစပ်ပါ။","settings.mcp.partnerServer.install":"အင်စတောလုပ်ရန်","settings.mcp.partnerServer.installAndAuthenticate":"အင်စတောလုပ်ပြီး အတည်ပြုရန်","settings.mcp.partnerServer.logoAlt":"{label} လိုဂို","settings.mcp.partnerServer.manage":"စီမံပါ","settings.mcp.partnerServer.vendor":"{vendor} ဖြင့်","settings.mcp.recommendedServers":"အကြံပြုထားသော ဆာဗာများ","settings.mcp.restartApp":"ပြန်စတင်သည်","settings.mcp.restartExtension":"တိုးချဲ့မှု စတင်ပါ","settings.mcp.server.enable":"ဖွင့်ရန်","settings.mcp.server.login":"အတည်ပြုရန်","settings.mcp.server.settings":"ဆက်တင်များ","settings.multiselect.createOption":'"{value}" ဖန်တီးရန်',"settings.multiselect.removeOption":"ဖယ်ရှားရန်","settings.nav.account":"အကောင့်","settings.nav.agent":"သတ်မှတ်ချိန်ညှိမှု","settings.nav.ariaLabel":"ဆက်တင်များ","settings.nav.back":"အက်ပ်သို့ ပြန်သွားရန်","settings.nav.data-controls":"စုစည်းသိမ်းဆည်းထားသော thread များ","settings.nav.environments":"Cloud ပတ်ဝန်းကျင်","settings.nav.externalTooltip":"[alpha] ဘရောက်ဆာတွင် ဖွင့်သည်","settings.nav.general-settings":"အထွေထွေ","settings.nav.git-settings":"Git","settings.nav.local-environments":"ပတ်ဝန်းကျင်များ","settings.nav.mcp-settings":"MCP ဆာဗာများ","settings.nav.notImplemented":"[alpha] Alpha တွင် မရနိုင်ပါ","settings.nav.personalization":"စိတ်ကြိုက်ပြင်ဆင်ခြင်း","settings.nav.skills-settings":"ကျွမ်းကျင်မှုများ","settings.nav.usage-analytics":"သုံးစွဲမှုနှင့် ဆန်းစစ်ချက်များ","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"နောက်သို့","settings.openSourceLicenses.loading":"လုပ်ဆောင်နေသည်...","settings.openSourceLicenses.missing":"ပြင်ပ အဖွဲ့အစည်း၏ အသိပေးချက်များကို မတွေ့ရှိခဲ့ပါ။","settings.openSourceLicenses.notSupported":"ဤ host တွင် မရနိုင်ပါ။","settings.openSourceLicenses.rowDescription":"အစုအဝေး မှီခိုမှုများအတွက် ပြင်ပအဖွဲ့အစည်းမှ အသိပေးချက်များ","settings.openSourceLicenses.rowLabel":"အရင်းအမြစ် လိုင်စင်များကို ဖွင့်ရန်","settings.openSourceLicenses.subtitle":"ဤအက်ပ်တွင်ပါဝင်သော မှီခိုမှုများအတွက် ပြင်ပ အဖွဲ့အစည်းမှ အသိပေးချက်များ","settings.openSourceLicenses.title":"အရင်းအမြစ် လိုင်စင်များကို ဖွင့်ရန်","settings.openSourceLicenses.view":"ကြည့်ရန်","settings.personalization.agents.description":"သင့်အတွက် စိတ်ကြိုက်ပြုလုပ်ထားသော Codex ညွှန်ကြားချက်များကို တည်းဖြတ်ပါ။ {learnMore}","settings.personalization.agents.learnMore":"ပိုမိုသိရှိရန်","settings.personalization.agents.loadError":"agents.md ကို လုပ်ဆောင်၍မရပါ။","settings.personalization.agents.loading":"agents.md ကို လုပ်ဆောင်နေသည်…","settings.personalization.agents.placeholder":"သင့်စိတ်ကြိုက် ညွှန်ကြားချက်များကို ထည့်ပါ...","settings.personalization.agents.retry":"ထပ်မံကြိုးစားပါ","settings.personalization.agents.save":"သိမ်းရန်","settings.personalization.agents.save.error":"agents.md ကို သိမ်းဆည်း၍မရပါ","settings.personalization.agents.save.success":"သိမ်းဆည်းထားသော agents.md","settings.personalization.agents.title":"စိတ်ကြိုက်ပြုလုပ်ထားသော ညွှန်ကြားချက်များ","settings.personalization.personality.description":"Codex တုံ့ပြန်မှုများအတွက် မူရင်းအသံကို ရွေးချယ်ပါ","settings.personalization.personality.label":"ကိုယ်ရည်ကိုယ်သွေး","settings.sample.contentBody":"ဤအပြင်အဆင်ကို အသုံးပြု၍ သင်၏ ဆက်တ် ဘုတ်ပြားများကို တသမတ်တည်း အကွာအဝေးဖြင့် ဖွဲ့စည်းပါ။","settings.sample.contentTitle":"နမူနာ အကြောင်းအရာ ပိတ်ဆို့ခြင်း","settings.section.account":"အကောင့်","settings.section.agent":"သတ်မှတ်ချိန်ညှိမှု","settings.section.data-controls":"စုစည်းသိမ်းဆည်းထားသော thread များ","settings.section.environments":"Cloud ပတ်ဝန်းကျင်","settings.section.external":"အယ်လ်ဖာ ကာလအတွင်း သင့်ဘရောက်ဆာတွင် ဖွင့်သည်","settings.section.general-settings":"အထွေထွေ","settings.section.git-settings":"Git","settings.section.local-environments":"ပတ်ဝန်းကျင်များ","settings.section.mcp-settings":"MCP ဆာဗာများ","settings.section.mcp-settings.docs":"စာရွက်စာတမ်းများ","settings.section.mcp-settings.subtitle":"ပြင်ပကိရိယာများနှင့် ဒေတာရင်းမြစ်များကို ချိတ်ဆက်ပါ။","settings.section.personalization":"စိတ်ကြိုက်ပြင်ဆင်ခြင်း","settings.section.skills-settings":"ကျွမ်းကျင်မှုများ","settings.section.unavailable":"အယ်လ်ဖာမှာ မရနိုင်သေးပါ","settings.section.usage-analytics":"သုံးစွဲမှုနှင့် ဆန်းစစ်ချက်များ","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"thread တွေမှာ command output ဘယ်လောက်ပြမလဲဆိုတာ ရွေးချယ်ပါ","settings.threadDetail.label":"Thread အသေးစိတ်အချက်အလက်များ","settings.worktrees.conversation.untitled":"ခေါင်းစဉ်မဲ့ စကားဝိုင်း","settings.worktrees.delete.error":"worktree ကို ဖျက်၍မရပါ","settings.worktrees.empty.body":"Codex မှ ဖန်တီးထားသော Worktree များသည် ဤနေရာတွင် ပေါ်လာပါမည်။","settings.worktrees.empty.title":"Worktree များ မရှိသေးပါ","settings.worktrees.error.body":"worktree များကို တင်နေစဉ် တစ်စုံတစ်ခု မှားယွင်းသွားခဲ့သည်။","settings.worktrees.error.retry":"ထပ်မံကြိုးစားပါ","settings.worktrees.error.title":"worktree များကို တင်၍မရပါ","settings.worktrees.loading.body":"worktree အသေးစိတ်အချက်အလက်များကို ရယူနေပါသည်။","settings.worktrees.loading.title":"worktree များကို တင်နေသည်","settings.worktrees.repository.loading":"ကုဒ်သိုလှောင်မှု မက်တာဒေတာကို တင်နေသည်…","settings.worktrees.repository.unknown":"အမည်မသိ ကုဒ်သိမ်းဆည်းမှု","settings.worktrees.row.conversations":"စကားဝိုင်းများ","settings.worktrees.row.conversations.empty":"ဤ worktree နှင့် လင့်ခ်ချိတ်ထားသော စကားဝိုင်းများ မရှိပါ။","settings.worktrees.row.conversations.loading":"စကားဝိုင်းကို ဖွင့်နေသည်…","settings.worktrees.row.delete":"ဖျက်ရန်","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"ပရောဂျက်အသစ်ထည့်ပါ","sidebarElectron.archiveThread":"Thread စုစည်းသိမ်းဆည်းမှု","sidebarElectron.archiveThreadError":"thread ကို သိမ်းဆည်း၍မရပါ","sidebarElectron.collapseFolder":"ဖိုဒါ ချုံ့ပါ","sidebarElectron.createStableWorktree":"ရေရှည် worktree ကို ဖန်တီးပါ","sidebarElectron.createStableWorktree.dialog.ariaLabel":"ပရောဂျက် အမည်","sidebarElectron.createStableWorktree.dialog.cancel":"ပယ်ဖျက်ရန်","sidebarElectron.createStableWorktree.dialog.create":"ဖန်တီးရန်","sidebarElectron.createStableWorktree.dialog.placeholder":"ပရောဂျက် အမည်","sidebarElectron.createStableWorktree.dialog.subtitle":"HEAD မှ git worktree အသစ်တစ်ခု ဖန်တီးပါ၊ ၎င်းကို ပရောဂျက်အဖြစ် ထည့်ပြီး ၎င်းကို မဖယ်ရှားမချင်း သိမ်းဆည်းထားပါ။","sidebarElectron.createStableWorktree.dialog.title":"worktree တစ်ခု ဖန်တီးပြီး project အဖြစ် သိမ်းဆည်းပါ","sidebarElectron.createStableWorktree.error":"ရေရှည် worktree ကို ဖန်တီး၍မရပါ- {message}","sidebarElectron.debugNavLink":"ချို့ယွင်းချက်ရှာဖွေရန်","sidebarElectron.editWorkspaceRootOptionName":"အမည် ပြင်ဆင်ရန်","sidebarElectron.expandFolder":"ဖိုဒါ ချဲ့ပါ","sidebarElectron.groupByMenu.recency":"ကာလစဉ်စာရင်း","sidebarElectron.groupByMenu.title":"စီစဉ်ပါ","sidebarElectron.groupByMenu.workspace":"ပရောဂျက်အလိုက်","sidebarElectron.inboxRouteNavLink":"အလိုအလျောက်စနစ်များ","sidebarElectron.markThreadUnread":"မဖတ်ရသေးဟု သတ်မှတ်ပါ","sidebarElectron.missingWorkspaceRoot":"ဤပရောဂျက်ဖိုင်တွဲကို ဖျက်ထားသည် သို့မဟုတ် ရွှေ့ထားသည်","sidebarElectron.newThread":"Thread အသစ်","sidebarElectron.newThreadInGroup":"{folder} တွင် Thread အသစ် စတင်ရန်","sidebarElectron.noRecentThreads":"လတ်တလော Thread များ မရှိပါ","sidebarElectron.noTasks":"thread များ မရှိပါ","sidebarElectron.noTasks.start":"ပရောဂျက်အသစ်တစ်ခုထည့်ပါ","sidebarElectron.noTasksWithFilter":"စစ်ထုတ်မှုများနှင့် ကိုက်ညီသော thread များ မရှိပါ","sidebarElectron.pinnedThreads":"ပင်ထောက်ထားသော thread များ","sidebarElectron.recentNavLink":"စကားတွဲများ","sidebarElectron.recentThreads":"လတ်တလော Thread များ","sidebarElectron.removeWorkspaceRootOption":"ဖယ်ရှားရန်","sidebarElectron.renameThread":"Thread ကို အမည်ပြောင်းပါ","sidebarElectron.renameThreadDialogAriaLabel":"ခေါင်းစဉ်","sidebarElectron.renameThreadDialogCancel":"ပယ်ဖျက်ရန်","sidebarElectron.renameThreadDialogPlaceholder":"ခေါင်းစဉ်ထည့်ပါ…","sidebarElectron.renameThreadDialogSave":"သိမ်းရန်","sidebarElectron.renameThreadDialogSubtitle":"တိုတိုနဲ့ မှတ်မိလွယ်အောင် ရေးပါ။","sidebarElectron.renameThreadDialogTitle":"Thread ကို အမည်ပြောင်းပါ","sidebarElectron.renameThreadError":"Thread ကို အမည်ပြောင်း၍ မရပါ","sidebarElectron.renameWorkspaceRootOptionLabel":"ပြသသည့် အမည်","sidebarElectron.showLess":"လျှော့ပြရန်","sidebarElectron.showMenu.all":"Thread များအားလုံး","sidebarElectron.showMenu.relevant":"သင့်လျော်ပါတယ်","sidebarElectron.showMenu.relevantHint":"လက်ရှိ အခွဲ၊ worktree များ သို့မဟုတ် သင့်အာရုံစိုက်မှု လိုအပ်သော အခြား thread များအတွက် မကြာသေးမီက thread များကိုသာ ပြပါ။","sidebarElectron.showMenu.title":"ပြရန်","sidebarElectron.showMenu.tooltip":"Thread ကို စစ်ထုတ်ခြင်း၊ စီခြင်းနှင့် စီစဉ်ခြင်း","sidebarElectron.showMenu.trigger":"‌ဘေးဘားရှိ thread များကို စစ်ထုတ်ပါ","sidebarElectron.showMore":"နောက်ထပ်ပြရန်","sidebarElectron.skillsAppsRouteNavLink":"ကျွမ်းကျင်မှုများနှင့် အက်ပ်များ","sidebarElectron.skillsRouteNavLink":"ကျွမ်းကျင်မှုများ","sidebarElectron.sortMenu.created":"ဖန်တီးထားသော","sidebarElectron.sortMenu.title":"မျိုးတူစုပါ","sidebarElectron.sortMenu.updated":"အပ်ဒိတ် ပြုလုပ်ပြီးပါပြီ","sidebarElectron.taskNavigation":"အလိုအလျောက်လုပ်ဆောင်သည့် ဖိုလ်ဒါများ","sidebarElectron.tasksInFolder":"{folder}တွင် အလိုအလျောက်လုပ်ဆောင် စနစ်များ","sidebarElectron.workspaceOptions":"{folder} အတွက် ပရောဂျက်လုပ်ဆောင်ချက်များ ","sidebarElectron.worktreeGroupTooltip":"ဒါက git worktree ပါ","skills.appsPage.apps.enableToggle":"အက်ပ်ကို ဖွင့်ပါ","skills.appsPage.apps.installOnChatGpt":"ChatGPT မှာ ထည့်သွင်းပါ","skills.appsPage.apps.manageOnChatGpt":"ChatGPT တွင် စီမံခန့်ခွဲပါ","skills.appsPage.apps.noDescription":"ဖော်ပြချက် မရှိပါ","skills.appsPage.createSkill":"ကျွမ်းကျင်မှု အသစ်","skills.appsPage.empty.apps":"အက်ပ်များ မတွေ့ပါ","skills.appsPage.empty.discoverApps":"ရှာဖွေရန် အက်ပ်များ မရှိပါ","skills.appsPage.empty.installedApps":"ထည့်သွင်းထားသော အက်ပ်များ မရှိပါ","skills.appsPage.empty.skills":"ကျွမ်းကျင်မှု မတွေ့ရှိပါ","skills.appsPage.heading":"ကျွမ်းကျင်မှုများနှင့် အက်ပ်များ","skills.appsPage.search.all":"ရှာဖွေမှုစွမ်းရည်များနှင့် အက်ပ်များ","skills.appsPage.search.all.label":"ရှာဖွေမှုစွမ်းရည်များနှင့် အက်ပ်များ","skills.appsPage.search.apps":"အက်ပ်များရှာဖွေရန်","skills.appsPage.search.apps.label":"အက်ပ်များရှာဖွေရန်","skills.appsPage.search.skills":"ရှာဖွေမှု စွမ်းရည်များ","skills.appsPage.search.skills.label":"ရှာဖွေမှု စွမ်းရည်များ","skills.appsPage.section.apps":"အက်ပ်များ","skills.appsPage.section.apps.seeAll":"အက်ပ် {count} ခုလုံးကို ကြည့်ရန်","skills.appsPage.section.discover":"ရှာဖွေရန်","skills.appsPage.section.installedApps":"အင်စတောလုပ်ထားသည်","skills.appsPage.section.skills":"ကျွမ်းကျင်မှုများ","skills.appsPage.section.skills.seeAll":"ကျွမ်းကျင်မှု {count} ခုလုံးကို ကြည့်ရှုပါ","skills.appsPage.subheading":"Codex ၏ စူပါပါဝါများကို ပေးပါ။<link>ပိုမိုသိရှိရန်</link>","skills.appsPage.tab.apps":"အက်ပ်များ","skills.appsPage.tab.recommended":"အကြံပြုထားသည်","skills.appsPage.tab.skills":"ကျွမ်းကျင်မှုများ","skills.card.contentsError":"ကျွမ်းကျင်မှု အကြောင်းအရာများကို လုပ်ဆောင်၍မရပါ။","skills.card.disable":"ပိတ်ရန်","skills.card.disableSuccess":"ကျွမ်းကျင်မှု {skillName} ခုကို ပိတ်ထားသည်","skills.card.disabledBadge":"ပိတ်ထားသည်","skills.card.enable":"ဖွင့်ရန်","skills.card.enableSuccess":"ကျွမ်းကျင်မှု {skillName} ခုကိုဖွင့်ထားသည်","skills.card.loadingContents":"ကျွမ်းကျင်မှု အကြောင်းအရာများကို လုပ်ဆောင်နေသည်...","skills.card.more":"နောက်ထပ် လုပ်ဆောင်ချက်များ","skills.card.open":"ဖွင့်ရန်","skills.card.removeFailed":"ကျွမ်းကျင်မှု အင်စတောလုပ်ထားသည်ကိုဖျက်ရန် မအောင်မြင်ပါ","skills.card.removeSuccess":"{skillName} ကျွမ်းကျင်မှု အင်စတောလုပ်ထားသည်ကိုဖျက်ခဲ့သည်","skills.card.toggleEnabledError":"ကျွမ်းကျင်မှုကို အပ်ဒိတ်လုပ်၍ မရပါ","skills.card.try":"စမ်းကြည့်ပါ","skills.card.trySkill":"ကျွမ်းကျင်မှုကို စမ်းကြည့်ပါ","skills.card.uninstall":"အင်စတောလုပ်ထားသည်ကိုဖျက်ရန်","skills.hero.dotLabel":"ဆလိုက် {index} သို့သွားရန်","skills.hero.next":"နောက်ထပ် အထူးပြု ကျွမ်းကျင်မှု","skills.hero.trySkill":"ကျွမ်းကျင်မှုကို စမ်းကြည့်ပါ","skills.page.createSkill":"ကျွမ်းကျင်မှု အသစ်","skills.page.empty":"ကျွမ်းကျင်မှု မတွေ့ရှိပါ","skills.page.filteredEmpty":"သင့်စစ်ထုတ်မှုများနှင့် ကိုက်ညီသော ကျွမ်းကျင်မှုများ မရှိပါ","skills.page.filteredEmptyDescription":"သင်၏ ရှာဖွေမှု သို့မဟုတ် နယ်ပယ် စစ်ထုတ်မှုများကို ချိန်ညှိကြည့်ပါ","skills.page.heading":"ကျွမ်းကျင်မှုများ","skills.page.loading":"ကျွမ်းကျင်မှုများကို လုပ်ဆောင်နေသည်...","skills.page.refreshSkills":"ပြန်စဖွင့်ရန်","skills.page.refreshSkillsToUseNew":"ကျွမ်းကျင်မှု အသစ်များကို အသုံးပြုရန် ပြန်လည်ဆန်းသစ်ပါ","skills.page.search":"ရှာဖွေမှု စွမ်းရည်များ","skills.page.search.label":"ရှာဖွေမှု စွမ်းရည်များ","skills.page.subheading":"Codex ၏ စူပါပါဝါများကို ပေးပါ။<link>ပိုမိုသိရှိရန်</link>","skills.preview.copyPrompt":"တုံ့ပြန်ညွှန်ကြားချက်ကို ကူးယူရန်","skills.preview.examplePrompt":"တုံ့ပြန်ညွှန်ကြားချက် ဥပမာ","skills.recommended.error":"အကြံပြုထားသော ကျွမ်းကျင်မှုများကို ဖွင့်၍ မရပါ","skills.recommended.install":"အင်စတောလုပ်ရန်","skills.recommended.installSkill":"ကျွမ်းကျင်မှုထည့်သွင်းပါ","skills.recommended.installSuccess":"ကျွမ်းကျင်မှု {skillName} ခုကို အင်စတော လုပ်ပြီးပါပြီ","skills.recommended.installed":"အင်စတောလုပ်ထားသည်","skills.scope.admin":"စီမံသူ","skills.scope.adminInstalled":"အက်ဒမင် ထည့်သွင်းပြီးပါပြီ","skills.scope.builtIn":"စနစ်","skills.scope.personal":"ကိုယ်ပိုင်","skills.scope.repo":"ကုဒ်သိုလှောင်မှု","skills.scope.system":"စနစ်","skills.scope.team":"အသင်း","skills.scope.user":"သုံးစွဲသူ","skills.section.installed":"အင်စတောလုပ်ထားသည်","skills.section.recommended":"အကြံပြုထားသည်","story.slidingToggle.existing":"ရှိပြီးသား","story.slidingToggle.fromLocal":"ဒေသခံမှ","story.slidingToggle.new":"အသစ်","story.slidingToggle.toLocal":"ဒေသတွင်း သို့","terminal.close":"တာမင်နယ် ပိတ်ရန်","terminal.title":"တာမင်နယ်","thinkingShimmer.default":"စဉ်းစားနေပါတယ်","threadEnvIcon.cloudTooltip":"ဤစကားဝိုင်းကို Codex Cloud တွင် လုပ်ဆောင်နေပါသည်။","threadEnvIcon.localTooltip":"ဒီဆွေးနွေးပွဲကို ဒေသတွင်းမှာ ကျင်းပနေပါတယ်။","threadEnvIcon.worktreeTooltip":"ဤစကားဝိုင်းသည် ဒေသတွင်း git worktree တစ်ခုတွင် လည်ပတ်နေပါသည်။","threadHeader.archiveConfirmCancel":"ပယ်ဖျက်ရန်","threadHeader.archiveConfirmConfirm":"စုစည်းသိမ်းဆည်းမှု","threadHeader.archiveConfirmSubtitle":"၎င်းကို သင်၏ archive လုပ်ထားသော thread များ နောက်ပိုင်းတွင် ရှာတွေ့နိုင်ပါသည်။","threadHeader.archiveConfirmTitle":"Thread စုစည်းသိမ်းဆည်းမလား။","threadHeader.copyAppLink":"Deeplink ကို ကူးယူပါ","threadHeader.copySessionId":"ဆက်ရှင် အိုင်ဒီ ကူးယူရန်","threadHeader.copyWorkingDirectory":"အလုပ်လုပ်သော လမ်းညွှန်ကို ကူးယူပါ","threadHeader.forkIntoLocal":"local ထဲသို့ ခွဲထုတ်ပါ","threadHeader.forkIntoWorktree":"worktree ထဲသို့ ခွဲထုတ်ပါ","threadHeader.forkPendingWorktreePrompt":"ဤစကားဝိုင်းကို Worktree အသစ်သို့ ခွဲထည့်ပါ။","threadHeader.forkPendingWorktreeTitle":"ခွဲထုတ်ထားသော စကားဝိုင်း","threadHeader.forkThreadError":"thread ကို ခွဲထုတ်၍မရပါ","threadHeader.forkThreadRequiresGitRepo":"worktree အသစ်ထဲသို့ ခွဲထုတ်ရန် git ကုဒ်သိမ်းဆည်းမှု လိုအပ်သည်","threadHeader.moreActions":"Thread လုပ်ဆောင်ချက်များ","threadPage.newThread":"Thread အသစ်","threadPage.runAction.changeEnvironment":"ပတ်ဝန်းကျင် ပြောင်းလဲပါ","threadPage.runAction.dropdown.titleWithEnvironment":"လုပ်ဆောင်မှု {environmentName}ခု","threadPage.runAction.environmentSelector.label":"ပတ်ဝန်းကျင် ရွေးချယ်ပါ","threadPage.runAction.label":"လုပ်ဆောင်ရန်","threadPage.runAction.missing.label":"run လုပ်ဆောင်မှု တစ်ခု သတ်မှတ်ရန်","threadPage.runAction.setup.commandLabel":"လည်ပတ်ရန် အမိန့်ပေးချက်","threadPage.runAction.setup.description":"မှီခိုမှုများကို ဘယ်လို အင်စတောလုပ်ပြီး အက်ပ်ကို ဘယ်လို စတင်ရမလဲဆိုတာ Codex ကို ပြောပြပါ။","threadPage.runAction.setup.editMore":"ပတ်ဝန်းကျင် ဆက်တင်များ","threadPage.runAction.setup.placeholder":"ဥပမာ - npm install npm run","threadPage.runAction.setup.submit":"သိမ်းဆည်းပြီး လုပ်ဆောင်ရန်","threadPage.runAction.setup.title":"လုပ်ဆောင်ရန်","threadPage.runAction.tooltip.withEnvironment":"လုပ်ဆောင်မှု {environmentName}ခု","threadPage.toggleDiffPanel":"ကွဲပြားမှု panel ကို ဖွင့်၊ ပိတ်ရန်","threadPage.toggleTerminal":"တာမင်နယ် ဖွင့်၊ ပိတ်ရန်","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ဖိုလ်ဒါဖွင့်ပါ","toolSummaryForCmd.exploredFiles":"<verb>စာရင်းပြုစုထားသော</verb> ဖိုင်များ","toolSummaryForCmd.exploredFilesInPath":"{path}တွင် <verb>စာရင်းပြုစုထားသောဖိုင်များ</verb>","toolSummaryForCmd.exploringFiles":"<verb>စာရင်းပြုစုထားသော</verb> ဖိုင်များ","toolSummaryForCmd.exploringFilesInPath":"{path}တွင် <verb>စာရင်းပြုစုထားသောဖိုင်များ</verb>","toolSummaryForCmd.finishedBackgroundTerminal":"နောက်ခံ တာမင်နယ်ကို အပြီးသတ်လိုက်ပါပြီ","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"နောက်ခံ တာမင်နယ် ကို {command} နဲ့ အပြီးသတ်လိုက်ပါပြီ","toolSummaryForCmd.ranGenericCommand":"<status>command လုပ်ဆောင်ခဲ့သည်</status>{timer}","toolSummaryForCmd.ranSpecificCommand":" {command}{timer} <status>ကို လည်ပတ်နေပါတယ်</status>","toolSummaryForCmd.read":"<verb>ဖတ်ရန်</verb>{path}","toolSummaryForCmd.runningGenericCommand":"<status>command လုပ်ဆောင်ခဲ့သည်</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} အတွက်","toolSummaryForCmd.searchedFor":"{query} ကို <verb>ရှာဖွေခဲ့သည်</verb>","toolSummaryForCmd.searchedForFiles":"ဖိုင်များကို <verb>ရှာဖွေခဲ့သည်</verb>","toolSummaryForCmd.searchedForInPath":"{path} တွင် {query} ကို <verb>ရှာဖွေခဲ့သည်</verb>","toolSummaryForCmd.searchingFor":"{query} ကို <verb>ရှာဖွေနေသည်</verb>","toolSummaryForCmd.searchingForFiles":"ဖိုင်များကို <verb>ရှာဖွေနေသည်</verb>","toolSummaryForCmd.searchingForInPath":"{path} တွင် {query} ကို <verb>ရှာဖွေနေသည်</verb>","toolSummaryForCmd.startedBackgroundTerminal":"နောက်ခံ တာမင်နယ် စတင်ပါပြီ","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"နောက်ခံ တာမင်နယ်ကို {command} ဖြင့် စတင်ခဲ့သည်","traceRecording.details.noteLabel":"ဤအရာဖြစ်ပျက်ချိန်တွင် သင်ဘာလုပ်နေခဲ့သနည်း။ (ရွေးချယ်နိုင်သည်)","traceRecording.details.notePlaceholder":"ကြီးမားသော thread တစ်ခုသို့ လမ်းညွှန်ပြီးနောက် တက်ဘ်များကို အကြိမ်ကြိမ်ပြောင်းလဲခဲ့သည်…","traceRecording.details.submit":"ခြေရာခံပို့ပါ","traceRecording.details.subtitle":"စွမ်းဆောင်ရည် ပြဿနာများကို ရောဂါရှာဖွေရန် ဤပရိုဖိုင်ခြေရာခံကို ပေးပို့နိုင်ပါသည်။","traceRecording.details.title":"ပရိုဖိုင်ခြေရာခံပို့မလား။","traceRecording.progress.subtitle":"၎င်းပြီးမြောက်နေစဉ် Codex ကိုဖွင့်ထားပါ။","traceRecording.saving.title":"ခြေရာခံခြင်းကို သိမ်းဆည်းနေသည်…","traceRecording.startDetails.cancel":"ပယ်ဖျက်ရန်","traceRecording.startDetails.submit":"အိုကေ၊ မှတ်တမ်းတင်ခြင်း စတင်ပါ","traceRecording.startDetails.subtitle":"OK ကို နှိပ်ပြီးနောက်၊ စွမ်းဆောင်ရည်ပြဿနာကို ပြန်လည်ဖော်ထုတ်ပြီးနောက် ရပ်တန့်ပြီး ခြေရာခံခြင်းကို ပြန်လည်သုံးသပ်ရန် မျောနေသော အနီရောင်ညွှန်ပြချက်ကို နှိပ်ပါ။","traceRecording.startDetails.title":"ခြေရာခံခြင်း မည်သို့အလုပ်လုပ်သည်","traceRecording.stopButton.ariaLabel":"ခြေရာခံခြင်းကို ရပ်တန့်ပါ","traceRecording.upload.successToast":"ပရိုဖိုင် ခြေရာခံခြင်း ပို့လိုက်ပါပြီ။","traceRecording.uploading.title":"ခြေရာခံခြင်းကို အပ်လုဒ်လုပ်နေသည်…","wham.diff.addComment":"မှတ်ချက်ထည့်ပါ","wham.diff.binaryFile":"ဘိုင်နရီဖိုင်ကို မပြထားပါ","wham.diff.noContent":"အကြောင်းအရာမရှိပါ","wham.fileTag.deleted":"ဖျက်ပြီးပါပြီ","wham.fileTag.new":"အသစ်","wham.formattedRelativeDateTime.compactDaysAgo":"{value} ရက်","wham.formattedRelativeDateTime.compactHoursAgo":"{value}နာရီ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}မိနစ်","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} လ","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} ပတ်","wham.formattedRelativeDateTime.compactYearsAgo":"{value} နှစ်","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"သင်၏ အလုပ်တာဝန်ကို လုပ်ဆောင်နေသည်","wham.whamProposedTask.title":"အကြံပြုထားသော အလုပ်တာဝန်","wham.whamProposedTask.useSuggestion":"အကြံပြုချက်ကို သုံးပါ","workspaceRootDialog.addError":"ပရောဂျက် ထည့်လို့ မရပါဘူး","workspaceRootDialog.cancel":"ပယ်ဖျက်ရန်","workspaceRootDialog.confirmAdd":"ပရောဂျက် ထည့်ရန်","workspaceRootDialog.confirmPick":"ပရောဂျက်ကိုသုံးပါ","workspaceRootDialog.description":"ပရောဂျက်အဖြစ် အသုံးပြုရန် {host} တွင် လမ်းကြောင်းတစ်ခုထည့်ပါ။","workspaceRootDialog.pathLabel":"ပရောဂျက်လမ်းကြောင်း","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"ပရောဂျက်လမ်းကြောင်းထည့်ပါ","workspaceRootDialog.title.pick":"ပရောဂျက်လမ်းကြောင်းကို ရွေးချယ်ပါ","worktreeInitV2.cancel":"ပယ်ဖျက်ရန်","worktreeInitV2.notification.failedTitle":"Worktree သတ်မှတ်မှု မအောင်မြင်ပါ","worktreeInitV2.output.empty":"ရလဒ်အတွက် စောင့်နေသည်...","worktreeInitV2.status.error":"Worktree သတ်မှတ်မှု မအောင်မြင်ပါ။","worktreeInitV2.status.running":"Worktree ဖန်တီးခြင်းနှင့် သတ်မှတ်မှု လုပ်ဆောင်ခြင်း။","worktreeInitV2.status.runningFork":"ဤစကားဝိုင်းကို ခွဲထုတ်ရန် worktree တစ်ခု ဖန်တီးနေသည်။","worktreeInitV2.status.success":"Worktree အသင့်ဖြစ်ပါပြီ။","worktreeInitV2.title":"Worktree ဖန်တီးနေသည်","worktreeInitV2.workLocallyInstead":"ဒေသတွင်းတွင်သာ အလုပ်လုပ်ပါ","worktreeRestoreBanner.body":"ဒစ်ခ်နေရာချွေတာရန် ဤ Thread ၏ worktree ကို ဖယ်ရှားလိုက်သည်","worktreeRestoreBanner.missing.body":"ဤချည်နှောင်မှု၏ အလုပ်လုပ်သော directory မရှိတော့ပါ","worktreeRestoreBanner.missing.title":"လက်ရှိ အလုပ်လုပ်သော directory ပျောက်ဆုံးနေသည်","worktreeRestoreBanner.restore.error":"worktree ကို ပြန်လည်ရယူ၍မရပါ- {message}","worktreeRestoreBanner.restore.success":"Worktree ကို ပြန်လည်ပြုပြင်ပြီးပါပြီ","worktreeRestoreBanner.restoreCta":"worktree ကို ပြန်လည်ရယူပါ","worktreeRestoreBanner.title":"Worktree ကို သန့်ရှင်းရေးလုပ်ထားသည်"};export{e as default};
+const e={"CopyButton.copyTooltip":"ကူးယူရန်","app.sidebar.hide":"ဘေးဘား ဝှက်ပါ","app.sidebar.show":"ဘေးဘား ပြပါ","app.sidebar.tooltip":"ဘေးဘား ဖွင့်၊ ပိတ်ရန်","appHeader.installUpdate":"အပ်ဒိတ်လုပ်ရန်","appSunset.body":"အက်ပ်၏ ဤဗားရှင်းကို ပံ့ပိုးမပေးတော့ပါ။ နောက်ဆုံးထွက်ဗားရှင်းကို <here>ဤနေရာ</here>တွင် ဒေါင်းလုဒ်လုပ်ပါ။","appSunset.title":"အပ်ဒိတ်လုပ်ရန် လိုအပ်သည်","automation.updateDirective.create":"ဖန်တီးရန်","automation.updateDirective.open":"ဖွင့်ရန်","automation.updateDirective.untitled":"ခေါင်းစဉ်မဲ့ အလိုအလျောက် စနစ်","automation.updateDirective.update":"အပ်ဒိတ်လုပ်ရန်","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {ကြိုးစားမှု#ကြိမ်}}","cloudTaskRow.archiveError":"လုပ်ဆောင်စရာကို သိမ်းဆည်းရန် မအောင်မြင်ပါ။","code.diff.requestChange":"ပြောင်းလဲရန် တောင်းဆိုပါ","code.diffComment.cancel":"ပယ်ဖျက်ရန်","code.diffComment.comment":"မှတ်ချက်","code.diffComment.delete":"ဖျက်ရန်","code.diffComment.save":"သိမ်းရန်","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"တွေ့ရှိချက်များကို အစီရင်ခံတင်ပြခြင်း မရှိပါ။","codex.alert.closeAriaLabel":"ပိတ်ရန်","codex.appUpsellBanner.cbpApi.message":"Codex အက်ပ်နဲ့ ပိုမြန်မြန်တည်ဆောက်ပါ။ အခုပဲ ဒေါင်းလုဒ်လုပ်ပါ သို့မဟုတ် {learnMoreLink}။","codex.appUpsellBanner.download":"ဒေါင်းလုဒ် လုပ်ရန်","codex.appUpsellBanner.freeGo.message":"Codex ကို မတ်လ 2 ရက်နေ့အထိ သင့်အစီအစဉ်မှာ ထည့်သွင်းထားပါတယ်။ ပိုမြန်မြန်တည်ဆောက်ဖို့ Codex အက်ပ်ကို စမ်းသုံးကြည့်ပါ။","codex.appUpsellBanner.later":"နောက်ပိုင်း","codex.appUpsellBanner.learnMoreLowercase":"ပိုမိုသိရှိရန်","codex.appUpsellBanner.new":"အသစ်","codex.appUpsellBanner.proPlusBusiness.message":"ဧပြီလ 2 ရက်နေ့အထိ 2x rate ကန့်သတ်ချက်များဖြင့် Codex အက်ပ်ကို စမ်းသုံးကြည့်ပါ။ ယခုပဲ ဒေါင်းလုဒ်လုပ်ပါ သို့မဟုတ် {learnMoreLink}။","codex.appUpsellBanner.title":"Codex အက်ပ်","codex.applyDropdown.header.changes":"အပြောင်းအလဲများ","codex.applyDropdown.header.fileCount":"{count, plural, other {# ဖိုင်}}","codex.applyDropdown.header.rows":"အတန်းများ","codex.applyDropdown.header.title":"ပြောင်းလဲမှုများကို ကျင့်သုံးရန်","codex.applyDropdown.header.workspace":"ပရောဂျက်","codex.applyDropdown.results.conflicted":"{count, plural, other {ဖိုင် {count}ဖိုင် ပဋိပက္ခဖြစ်နေသည်-}}","codex.applyDropdown.results.empty":"ဖိုင်များ ကူးယူထားခြင်း မရှိပါ","codex.applyDropdown.results.skipped":"{count, plural, other {ဖိုင် {count}ဖိုင် ကို ကျော်သွားခဲ့သည်-}}","codex.applyOrRevertBanner.apply":"ကျင့်သုံးရန်","codex.applyOrRevertBanner.applyMessage":"ပြောင်းလဲမှုများကို ကျင့်သုံးပြီး ဒေသတွင်းတွင် ဆက်လက်လုပ်ဆောင်မည်လား။","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ဤအလုပ်တာဝန်ကို {environment} တွင် ပြုလုပ်ခဲ့သောကြောင့် သန့်ရှင်းစွာ မကျင့်သုံးနိုင်ပါ။","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment} တွင် ပြုလုပ်ခဲ့သော ပြောင်းလဲမှုများ ဖြစ်သောကြောင့် သန့်ရှင်းစွာ မကျင့်သုံးနိုင်ပါ။","codex.applyOrRevertBanner.reapply":"ပြန်လည် ကျင့်သုံးရန်","codex.applyOrRevertBanner.revert":"မူလ အတိုင်းပြန်ပြောင်းရန်","codex.applyOrRevertBanner.revertMessage":"ကျင့်သုံးထားသော ပြောင်းလဲမှုများကို ပြန်ပြောင်းမလား။","codex.applyResultsDialog.applied":"သန့်ရှင်းစွာ ကျင့်သုံးထားသည် ({count})","codex.applyResultsDialog.close":"ပိတ်ရန်","codex.applyResultsDialog.conflicted":"ပဋိပက္ခ ဖြစ်နေသည် ({count})","codex.applyResultsDialog.noDetails":"ဖိုင်အသေးစိတ် အချက်အလက်များ မရရှိနိုင်ပါ။","codex.applyResultsDialog.skipped":"ကျော်ခဲ့သည်({count})","codex.applyResultsDialog.title":"ရလဒ်များကို ကျင့်သုံးရန်","codex.archiveInfo":"{dataControlsLink}တွင် စုစည်းသိမ်းဆည်းထားသော ချတ်များကို ကြည့်ပါ။","codex.archiveInfo.dataControlsLink":"ဒေတာ ထိန်းချုပ်မှုများ","codex.archiveInfo.electron":"{settingsLink}တွင် စုစည်းသိမ်းဆည်းထားသော  ချတ်များကို ကြည့်ပါ","codex.archiveInfo.extension":"သင့်ရဲ့ .codex ဖိုဒါ ထဲမှာ စုစည်းသိမ်းဆည်းထားသည့် ချတ်တွေကို ကြည့်လိုက်ပါ။","codex.archiveInfo.settingsLink":"ဆက်တင်များ","codex.banner.content.description":"အလုပ်တာဝန်များကို တစ်ပြိုင်နက်တည်းလုပ်ဆောင်ပါ၊ တိုးတက်မှုကို မည်သည့်နေရာတွင်မဆို ခြေရာခံပြီး AI ဖြင့် PR များကို ပြန်လည်သုံးသပ်ပါ။","codex.banner.content.headline":"Codex သည် အရာအားလုံးကို လုပ်ဆောင်ပါသည်။","codex.cloudTaskRow.archiveTask":"အလုပ်တာဝန် စုစည်းသိမ်းဆည်းရန်","codex.cloudTaskRow.confirmArchiveTask":"အတည်ပြုရန်","codex.command.feedback":"အကြံပြုချက်","codex.command.findInThread":"ရှာဖွေရန်","codex.command.forceReloadSkills":"အတင်းအကြပ် ပြန်လည်ဖြည့်သွင်းခြင်း စွမ်းရည်များ","codex.command.logOut":"အကောင့်မှထွက်ရန်","codex.command.manageTasks":"အလုပ်များကို စီမံပါ","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"နောက်သို့","codex.command.navigateForward":"​ရှေ့သို့","codex.command.newThread":"Thread အသစ်","codex.command.nextThread":"နောက် thread","codex.command.openFolder":"ဖိုလ်ဒါဖွင့်ပါ","codex.command.openSkills":"ကျွမ်းကျင်မှုများသို့ သွားရန်","codex.command.openThreadOverlay":"Thread ကို ပွင့်အောင်လုပ်ပါ","codex.command.personalitySettings":"ကိုယ်ရည်ကိုယ်သွေး","codex.command.previousThread":"ယခင် thread","codex.command.settings":"ဆက်တင်များ","codex.command.toggleDiffPanel":"ကွဲပြားမှု panel ကို ဖွင့်၊ ပိတ်ရန်","codex.command.toggleSidebar":"ဘေးဘား ဖွင့်၊ ပိတ်ရန်","codex.command.toggleTerminal":"တာမင်နယ် ဖွင့်၊ ပိတ်ရန်","codex.commandGroup.app":"အက်ပ်","codex.commandGroup.configure":"ပြုပြင်မွမ်းမံရန်","codex.commandGroup.navigation":"လမ်းညွှန်ခြင်း","codex.commandGroup.panels":"ပင်နယ်များ","codex.commandGroup.skills":"ကျွမ်းကျင်မှုများ","codex.commandGroup.thread":"Thread","codex.commandGroup.workspace":"ပရောဂျက်","codex.commandMenu.noResults":"ကိုက်ညီမှုမရှိပါ","codex.commandMenu.searchPlaceholder":"command များ ရှာဖွေရန်","codex.commandMenu.suggestedGroup":"အကြံပြုထားသော","codex.commandMenu.switchWorkspace":"ပရောဂျက်ကို ပြောင်းပါ","codex.commandMenu.title":"command မီနူး","codex.common.retry":"ထပ်မံကြိုးစားပါ","codex.composer.searchBranches":"အခွဲများကို ရှာဖွေရန်","codex.dialog.basic.body":"၎င်းသည် Radix ဒိုင်ယာလော့ဂ် ပတ်လည်ရှိ wrapper ကို အသုံးပြုသည့် ရိုးရှင်းသော modal ဒိုင်ယာလော့ဂ် တစ်ခုဖြစ်သည်။","codex.dialog.basic.cancel":"ပယ်ဖျက်ရန်","codex.dialog.basic.confirm":"အတည်ပြုရန်","codex.dialog.basic.open":"ဒိုင်ယာလော့ဂ် ဖွင့်ပါ","codex.dialog.basic.title":"နမူနာ ဒိုင်ယာလော့ဂ်","codex.dialog.long.close":"ပိတ်ရန်","codex.dialog.long.line":"ဒိုင်ယာလော့ဂ် အတွင်းရှိ အကြောင်းအရာရှည်ကို ပြသရန် လှိမ့်နိုင်သော လိုင်း {index}။","codex.dialog.long.open":"ရှည်လျားသော ဒိုင်ယာလော့ဂ်ကို ဖွင့်ပါ","codex.dialog.long.title":"ရှည်လျားသော အကြောင်းအရာ ဒိုင်ယာလော့ဂ်","codex.dialog.unstyled.body":"ဤဇာတ်လမ်းသည် ဖုန်းခေါ်ဆိုသူများသည် ဒိုင်ယာလော့ဂ် အကြောင်းအရာပုံစံကို မည်သို့ အပြည့်အဝ ထိန်းချုပ်နိုင်ကြောင်း ပြသထားသည်။","codex.dialog.unstyled.open":"ပုံစံမပါတဲ့ ဒိုင်ယာလော့ဂ်ကို ဖွင့်ပါ","codex.dialog.unstyled.title":"ပုံစံမပါတဲ့ အကြောင်းအရာ","codex.diff.openInEditorPrompt.openButton":"Editor တွင် ဖွင့်ရန်","codex.diff.openInEditorPrompt.singleLine":"ဤဖိုင်သည် ဤနေရာတွင် ပြသရန် အလွန်ကြီးလွန်းပါသည်။","codex.diffView.failedToDecodeBase64Diff":"base64 ကွဲပြားမှုကို ကုဒ်ဖြည်၍မရပါ","codex.diffView.filesChanged":"{fileCount, plural, other {ဖိုင် # ဖိုင် ပြောင်းလဲခဲ့သည်}}","codex.diffView.imagePreviewAlt":"ရုပ်ပုံ အစမ်းကြည့်ရှုခြင်း","codex.diffView.imagePreviewEmpty":"ပုံမရှိပါ","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"ကွဲပြားမှုဒေတာ မရှိပါ","codex.diffView.pdfPreview.nextPage":"နောက်စာမျက်နှာ","codex.diffView.pdfPreview.pageIndicator":"{total} ခုလျှင် {current}ခု","codex.diffView.pdfPreview.previousPage":"အရှေ့စာမျက်နှာ","codex.diffView.pdfPreviewEmpty":"PDF နမူနာကြည့်ရန် မရှိပါ","codex.diffView.pdfPreviewError":"PDF နမူနာကြည့်ရန်ကို ပြသ၍မရပါ","codex.diffView.richPreviewDisable":"ကြွယ်ဝသော အစမ်းကြည့်ရှုမှုကို ပိတ်ပါ","codex.diffView.richPreviewEnable":"ကြွယ်ဝသော အစမ်းကြည့်ရှုမှုကို ဖွင့်ပါ","codex.diffView.richPreviewLoading":"နမူနာကြည့်ရန် လုပ်ဆောင်နေသည်","codex.diffView.richPreviewToggle":"ကြွယ်ဝသော အစမ်းကြည့်ရှုမှုကို ဖွင့်၊ ပိတ်ရန်","codex.diffView.switchToUnified":"Unified ကွဲပြားမှုသို့ပြောင်းပါ","codex.environmentSelector.noEnvironment":"ပတ်ဝန်းကျင် မရှိပါ","codex.environments.environmentSettings":"ပတ်ဝန်းကျင် ဆက်တင်များ","codex.environments.learnMore":"ပိုမိုသိရှိရန်","codex.environments.listError":"ပတ်ဝန်းကျင်များကို ဖွင့်၍မရပါ","codex.environments.noEnvironmentsFound":"ပတ်ဝန်းကျင်များ ရှာမတွေ့ပါ","codex.environments.searchError":"ပတ်ဝန်းကျင်များကို ရှာဖွေခြင်း မအောင်မြင်ပါ။","codex.errorBoundary.genericError":"အိုး၊ အမှားတစ်ခု ဖြစ်ပွားခဲ့သည်။","codex.errorBoundary.goHome":"ထပ်မံလုပ်ဆောင်ကြည့်ပါ","codex.file.patch.missing":"ဤဖိုင်အတွက် patch တည်ဆောက်၍မရပါ။","codex.gallery.automations.cwdLabel":"စီမံကိန်းများ","codex.gallery.automations.nameLabel":"အမည်","codex.gallery.automations.namePlaceholder":"အလုပ်တာဝန် တစ်ခုကို အကျဉ်းချုပ်ပါ","codex.gallery.automations.promptLabel":"တုံ့ပြန်ညွှန်ကြားချက်","codex.gallery.automations.promptPlaceholder":"Codex ဘာလုပ်သင့်လဲဆိုတာ ရှင်းပြပါ","codex.gallery.dialogs.automation.label":"အလိုအလျောက် လုပ်ဆောင်ခြင်း ဒိုင်ယာလော့ဂ်","codex.gallery.dialogs.basic.body":"ရိုးရှင်းသော အတည်ပြုချက်များ သို့မဟုတ် တိုတောင်းသော ပုံစံများအတွက် ဤအပြင်အဆင်ကို အသုံးပြုပါ။","codex.gallery.dialogs.basic.cancel":"ပယ်ဖျက်ရန်","codex.gallery.dialogs.basic.confirm":"အတည်ပြုရန်","codex.gallery.dialogs.basic.label":"အခြေခံ ဒိုင်ယာလော့ဂ်","codex.gallery.dialogs.basic.title":"နမူနာ ဒိုင်ယာလော့ဂ်","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"ပြဿနာကို ဖော်ပြပါ…","codex.gallery.dialogs.feedbackSubmission.bad":"ရလဒ်မကောင်း","codex.gallery.dialogs.feedbackSubmission.bug":"ချို့ယွင်းချက်","codex.gallery.dialogs.feedbackSubmission.good":"ရလဒ်ကောင်း","codex.gallery.dialogs.feedbackSubmission.includeLogs":"လက်ရှိ Codex ဆက်ရှင် log များကို ထည့်သွင်းပါ။","codex.gallery.dialogs.feedbackSubmission.label":"တုံ့ပြန်ချက် တင်သွင်းခြင်း","codex.gallery.dialogs.feedbackSubmission.other":"အခြား","codex.gallery.dialogs.feedbackSubmission.placeholder":"ပြဿနာကို ဤနေရာတွင် ဖော်ပြပါ။","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"ဘေးကင်းရေးစစ်ဆေးမှု","codex.gallery.dialogs.feedbackSubmission.submit":"ပေးပို့ရန်","codex.gallery.dialogs.feedbackSubmission.title":"အကြံပြုချက်","codex.gallery.dialogs.feedbackSuccess.body":"တုံ့ပြန်ချက်ကို အပ်လုဒ်လုပ်ပြီးပါပြီ။ ပြဿနာ ဆက်ရှိနေပါက GitHub ပြဿနာတစ်ခုကို ဖွင့်ပါ သို့မဟုတ် ရှိပြီးသား ပြဿနာတွင် thread id ကို ဖော်ပြပါ။","codex.gallery.dialogs.feedbackSuccess.dismiss":"ပယ်ဖြုတ်ရန်","codex.gallery.dialogs.feedbackSuccess.label":"တုံ့ပြန်ချက် အောင်မြင်မှု","codex.gallery.dialogs.feedbackSuccess.title":"အကြံပြုချက် အပ်လုဒ်တင်ခဲ့သည်","codex.gallery.dialogs.gitApplyResults.applied":"သန့်ရှင်းစွာ ကျင့်သုံးထားသည် (2)","codex.gallery.dialogs.gitApplyResults.close":"ပိတ်ရန်","codex.gallery.dialogs.gitApplyResults.conflicted":"ပဋိပက္ခ ဖြစ်နေသည် (1)","codex.gallery.dialogs.gitApplyResults.label":"ရလဒ်များကို ကျင့်သုံးရန်","codex.gallery.dialogs.gitApplyResults.title":"ရလဒ်များကို ကျင့်သုံးရန်","codex.gallery.dialogs.gitPushError.body":"remote history ကို ထပ်ထပ်ရေးရန်ဘေးကင်းကြောင်း သင်သိပါက နောက်ဆုံးပြောင်းလဲမှုများကို pull လုပ်ပါ သို့မဟုတ် force push လုပ်ပါ။","codex.gallery.dialogs.gitPushError.cancel":"ပယ်ဖျက်ရန်","codex.gallery.dialogs.gitPushError.force":"Push ကို ဇွတ်အတင်းတင်ခြင်း","codex.gallery.dialogs.gitPushError.label":"တွန်းပို့မှု အမှား","codex.gallery.dialogs.gitPushError.subtitle":"သင့်အခွဲက မူရင်း/ပင်မရဲ့ နောက်မှာ ရှိနေပါတယ်။","codex.gallery.dialogs.gitPushError.title":"အပြောင်းအလဲများကို တွန်းပို့ရန် ပျက်ကွက်ခဲ့သည်","codex.gallery.dialogs.gitRevert.cancel":"ပယ်ဖျက်ရန်","codex.gallery.dialogs.gitRevert.confirm":"မူလ အတိုင်းပြန်ပြောင်းရန်","codex.gallery.dialogs.gitRevert.label":"ပြောင်းလဲမှုများကို မူလ အတိုင်းပြန်ပြောင်းရန်","codex.gallery.dialogs.gitRevert.skip":"နောက်ထပ်မမေးပါနဲ့","codex.gallery.dialogs.gitRevert.subtitle":"ဤလုပ်ဆောင်ချက်သည် ဤပြောင်းလဲမှု အားလုံးကို ဖယ်ရှားပါသည်။","codex.gallery.dialogs.gitRevert.title":"ပြောင်းလဲမှုများကို ပြန်ပြင်မလား။","codex.gallery.dialogs.longForm.label":"ရှည်လျားသောပုံစံ ဒိုင်ယာလော့ဂ်","codex.gallery.dialogs.proseModal.body":"ဤ modal စတိုင်ကို ရှည်လျားသော ညွှန်ကြားချက်များ၊ စတင်အသုံးပြုခြင်း သို့မဟုတ် content အချက်အလက်များစွာ ပါဝင်သည့် block များအတွက် အသုံးပြုပါသည်။","codex.gallery.dialogs.proseModal.close":"ပိတ်ရန်","codex.gallery.dialogs.proseModal.subtitle":"ပိုမိုရှည်လျားသော လမ်းညွှန်ချက် သို့မဟုတ် စာရွက်စာတမ်းများကို ဤနေရာတွင် မျှဝေပါ။","codex.gallery.dialogs.proseModal.title":"စကားပြေပုံစံ","codex.gallery.dialogs.submitBlocked.label":"တင်သွင်းမှုကို ပိတ်ဆို့ထားသည်","codex.gallery.dialogs.submitBlocked.message":"ပရောဂျက်ကို ရရှိနိုင်ခြင်းမရှိသောကြောင့် သင့်မက်ဆေ့ချ်ကို ပို့၍မရပါ။","codex.gallery.dialogs.submitBlocked.ok":"အိုကေ","codex.gallery.dialogs.submitBlocked.title":"မက်ဆေ့ချ်ပို့၍ မရပါ","codex.gallery.dialogs.title":"ဒိုင်ယာလော့ဂ်များ","codex.gallery.dropdown.filterPlaceholder":"စစ်ထုတ်ပစ္စည်းများ","codex.gallery.dropdowns.actionRow":"လုပ်ဆောင်ချက်တန်းများ","codex.gallery.dropdowns.actionRow.disabled":"မသန်စွမ်း လုပ်ဆောင်ချက်","codex.gallery.dropdowns.actionRow.primary":"အဓိက လုပ်ဆောင်ချက်","codex.gallery.dropdowns.actionRow.secondary":"ဒုတိယလုပ်ဆောင်ချက်","codex.gallery.dropdowns.actionRow.trigger":"လုပ်ဆောင်ချက်များကို ပြပါ","codex.gallery.dropdowns.basic":"အခြေခံ dropdown","codex.gallery.dropdowns.basic.newFile":"ဖိုင်အသစ်","codex.gallery.dropdowns.basic.newFolder":"ဖိုင်တွဲအသစ်","codex.gallery.dropdowns.basic.openSettings":"ဆက်တင်များကို ဖွင့်ပါ","codex.gallery.dropdowns.basic.title":"အမြန်လုပ်ဆောင်ချက်များ","codex.gallery.dropdowns.basic.trigger":"မီနူးကိုဖွင့်ရန်","codex.gallery.dropdowns.basic.upload":"အပ်လုဒ်တင်ရန်","codex.gallery.dropdowns.panel":"ပန်နယ်မျက်နှာပြင်","codex.gallery.dropdowns.panel.apply":"ကျင့်သုံးရန်","codex.gallery.dropdowns.panel.body":"ကွဲပြားမှုများကို ပြန်လည်သုံးသပ်ပြီး သင့်ပရောဂျက်တွင် အသုံးချပါ။","codex.gallery.dropdowns.panel.preview":"နမူနာကြည့်ရန်","codex.gallery.dropdowns.panel.title":"ပြောင်းလဲမှုများကို ကျင့်သုံးရန်","codex.gallery.dropdowns.panel.trigger":"ပန်နယ်ကို ဖွင့်ပါ","codex.gallery.dropdowns.search":"ရှာဖွေနိုင်သော dropdown","codex.gallery.dropdowns.search.first":"အယ်လ်ဖာ ချန်နယ်","codex.gallery.dropdowns.search.second":"ဘီတာအခွဲ","codex.gallery.dropdowns.search.third":"ကိုယ်စားလှယ်လောင်းကို လွှတ်ပေးပါ","codex.gallery.dropdowns.search.trigger":"စစ်ထုတ်ပစ္စည်းများ","codex.gallery.dropdowns.submenu":"မီနူးအခွဲပါသော ဒရော့ချ်ဒေါင်း","codex.gallery.dropdowns.submenu.optionA":"ပရောဂျက် အယ်လ်ဖာ","codex.gallery.dropdowns.submenu.optionB":"ပရောဂျက် ဘီတာ","codex.gallery.dropdowns.submenu.optionC":"ပရောဂျက် ဂါမာ","codex.gallery.dropdowns.submenu.primary":"ပိုင်ရှင် သတ်မှတ်ရန်","codex.gallery.dropdowns.submenu.secondary":"ရွှေ့ရန်","codex.gallery.dropdowns.submenu.tertiary":"စုစည်းသိမ်းဆည်းမှု","codex.gallery.dropdowns.submenu.trigger":"လုပ်ဆောင်ချက်ကို ရွေးချယ်ပါ","codex.gallery.dropdowns.title":"Dropdowns များ","codex.gallery.inbox.automations.close":"ပိတ်ရန်","codex.gallery.inbox.automations.popover.cardTitle":"အလိုအလျောက်စနစ်များ စီမံရန်","codex.gallery.inbox.automations.popover.dialogTitle":"အလိုအလျောက်စနစ်များ စီမံရန်","codex.header.settingsTooltip":"ဆက်တင်များ","codex.hunk.patch.error":"Stage လုပ်ခြင်း မအောင်မြင်ပါ","codex.hunk.patch.missing":"ဒီကောင်အတွက် patch တည်ဆောက်လို့ မရဘူး။","codex.hunk.patch.partialSuccess":"တစ်စိတ်တစ်ပိုင်း အောင်မြင်မှု။","codex.hunk.patch.revertError":"Unstage လုပ်ခြင်း မအောင်မြင်ပါ","codex.hunk.patch.revertSuccess":"အောင်မြင်စွာ Unstage လုပ်ခဲ့သည်","codex.hunk.patch.success":"အောင်မြင်စွာ Stage လုပ်ခဲ့သည်","codex.legal.autonomy.details":"အသေးစိတ် အချက်အလက်များ အတွက် {link} ကိုကြည့်ပါ","codex.legal.autonomy.details.link":"Codex စာရွက်စာတမ်းများ","codex.legal.autonomy.title":"သင်မည်မျှ ကိုယ်ပိုင် အုပ်ချုပ်ခွင့် ပေးလိုသည်ကို ဆုံးဖြတ်ပါ","codex.legal.backButton":"နောက်သို့","codex.legal.cloud.taskOne.meta":"openai/agi · အောက်တိုဘာ 12","codex.legal.cloud.taskOne.title":"ဒီဇိုင်နာ အသစ်အား ကုဒ်သိမ်းဆည်းမှု အကြောင်းရှင်းပြပါ","codex.legal.cloud.taskThree.meta":"openai/codex · အောက်တိုဘာ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"အမှောင်မုဒ် နောက်ခံပုံစံ ဖန်တီးပါ","codex.legal.cloud.taskTwo.meta":"openai/agi · အောက်တိုဘာ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"စတင်အသုံးပြုခြင်း မှားယွင်းမှုကို ပြင်ရန်","codex.legal.continue.apikey":"ဆက်ရန်","codex.legal.continueButton":"ရှေ့သို့သွားရန်","codex.legal.copilot.details":"မော်ဒယ်ခေါ်ဆိုမှုများ၊ ငွေတောင်းခံလွှာများနှင့် နှုန်းထားကန့်သတ်ချက် အားလုံး အတွက် သင်၏ Copilot အစီအစဉ်ကို သုံးသည်။ Codex အိတ်စတန်းရှင်း သုံးစွဲမှုသည် {oaiTos} နှင့် {gitHubTos} နှစ်ခုလုံးနှင့် သက်ဆိုင်သည်။","codex.legal.copilot.gitHubTosLink":"GitHub ဝန်ဆောင်မှု စည်းမျဉ်းများ","codex.legal.copilot.oaiTosLink":"OpenAI Codex ဝန်ဆောင်မှု စည်းမျဉ်းများ","codex.legal.copilot.title":"GitHub Copilot မှ ပံ့ပိုးပေးသည်","codex.legal.mistakes.review":"၎င်းရေးသားပြီး ၎င်းလုပ်ဆောင်သော ကုဒ်ကို ပြန်လည်သုံးသပ်ပါ","codex.legal.mistakes.title":"Codex သည် အမှားများ ပြုလုပ်နိုင်သည်","codex.legal.powered.details":"သင်၏ အစီအစဉ်၏ နှုန်းထား ကန့်သတ်ချက်များနှင့် {link} ကို သုံးသည်","codex.legal.powered.details.link":"လေ့ကျင့်ရေး ဒေတာ ဦးစားပေးမှုများ","codex.legal.powered.title":"သင်၏ ChatGPT အကောင့်မှ ပံ့ပိုးပေးသည်","codex.legal.step.cloud.subtitle":"သင်ပိုမို အာရုံစူးစိုက်နိုင်ပြီး ပိုမိုမြန်ဆန်စွာ အလုပ်ပြီးနိုင်ဖို့ နောက်ခံတွင် လုပ်ဆောင်ရန် Codex သို့ အလုပ်များပေးပို့ပါ။","codex.legal.step.cloud.title":"Cloud ရှိ Codex သို့ လွှဲပြောင်းပါ","codex.legal.step.intro.subtitle":"Codex သည် သင်၏ repo တွင် တိုက်ရိုက်လမ်းညွှန်ခြင်း၊ တည်းဖြတ်ခြင်း၊ command များလုပ်ဆောင်ခြင်းနှင့် စမ်းသပ်မှုများကို လုပ်ဆောင်သည်။ သင်၏ ChatGPT အကောင့်မှ ပံ့ပိုးပေးသည်။","codex.legal.step.intro.title":"သင်၏ IDE ရှိ Codex","codex.legal.step.todo.subtitle":"TODO မှတ်ချက်တစ်ခုရေးပြီး ကလစ် တစ်ချက်နှိပ်ရုံဖြင့် Codex အလုပ်တစ်ခု အဖြစ် ပြောင်းလဲပါ။","codex.legal.step.todo.title":"TODO များကို Codex အလုပ်တာဝန်များ အဖြစ်သို့ ပြောင်းလဲပါ","codex.legal.todo.heading":"// TODO: schema ကို အကောင်အထည်ဖော်ပါ","codex.localConversation.closeImagePreview":"ပုံအစမ်းကြည့်ရှုခြင်းကို ပိတ်ပါ","codex.localConversation.userImageAttachment":"သုံးစွဲသူ ပူးတွဲဖိုင်","codex.localTaskRow.archiveTask":"Thread စုစည်းသိမ်းဆည်းမှု","codex.localTaskRow.awaitingApproval":"ခွင့်ပြုချက်ကို စောင့်ဆိုင်းနေသည်","codex.localTaskRow.awaitingResponse":"တုံ့ပြန်မှု စောင့်နေသည်","codex.localTaskRow.confirmArchiveTask":"အတည်ပြုရန်","codex.loggedOut.apiKeyPrompt.cancel":"ပယ်ဖျက်ရန်","codex.loggedOut.apiKeyPrompt.confirm":"အိုကေ","codex.loggedOut.apiKeyPrompt.getKey":"API Key ရယူပါ","codex.loggedOut.apiKeyPrompt.inputLabel":"သင့် OpenAI API Key ကို ရိုက်ထည့်ပါ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API Key ဖြင့် Cloud အလုပ်တာဝန်များကို ပိတ်ထားသည်","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot နှင့် API Key ဖြင့် Cloud အလုပ်တာဝန်များကို ပိတ်ထားသည်","codex.loggedOut.signIn":"ChatGPT ဖြင့် ဝင်ရောက်ပါ","codex.loggedOut.signIn.cancel":"အကောင့်ဝင်ခြင်းကို ပယ်ဖျက်ပါ","codex.loggedOut.signInWithCopilot":"GitHub Copilot ဖြင့် အကောင့်ဝင်ပါ","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API Key ကို သုံးပါ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ကိရိယာ","codex.mcpTool.collapsedLabel.verb.called":"ခေါ်ဆိုထားသည်","codex.mcpTool.collapsedLabel.verb.calling":"ခေါ်နေသည်","codex.mcpTool.embeddedResource.contentLabel":"အကြောင်းအရာ","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME အမျိုးအစား","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ကိရိယာက အကြောင်းအရာ ပြန်မပို့ပါ","codex.mcpTool.rawPayloadHeading":"{server}.{tool} ကိရိယာခေါ်ဆိုမှု payload","codex.menu.recent":"လတ်တလော","codex.menu.seeAllHistory":"မှတ်တမ်းအားလုံးကိုကြည့်ပါ","codex.modelCapacityBanner.headline.noReset":"{modelName}သည် ယခုအချိန်တွင် သုံးနိုင်မှု ပြည့်နေပါပြီ။ ထပ်လုပ်ဆောင်ကြည့်ပါ သို့မဟုတ် အခြားမော်ဒယ်နှင့် စကားဝိုင်း အသစ်တစ်ခု စတင်ပါ။","codex.modelCapacityBanner.headline.withReset":"{modelName}သည် ယခုအချိန်တွင် သုံးနိုင်မှု ပြည့်နေပါပြီ။ နောက်မှ ထပ်ကြိုးစားပါ။{resetDate}သို့မဟုတ် အခြားမော်ဒယ်နှင့် စကားဝိုင်း အသစ်တစ်ခု စတင်ပါ။","codex.modelCapacityBanner.title":"ရွေးချယ်ထားသော မော်ဒယ်သည် သုံးနိုင်မှု ပြည့်နေပါပြီ။ ","codex.patch.change.contentsDeleted":"အကြောင်းအရာများ ဖျက်ပြီးပါပြီ","codex.patch.change.created":"ဖန်တီးထားသော","codex.patch.change.created-file":"ဖိုင်ဖန်တီးပြီးပါပြီ","codex.patch.change.creating":"ဖန်တီးနေသည်","codex.patch.change.deleted":"ဖျက်ပြီးပါပြီ","codex.patch.change.deleted-file":"ဖိုင်ဖျက်လိုက်ပါပြီ","codex.patch.change.deleting":"ဖျက်နေသည်","codex.patch.change.edited":"တည်းဖြတ်ပြီး","codex.patch.change.edited-file":"တည်းဖြတ်ပြီး ဖိုင်","codex.patch.change.editing":"တည်းဖြတ်ခြင်း","codex.patch.change.noChanges":"အပြောင်းအလဲများ မရှိပါ","codex.patch.change.rejected-add":"ငြင်းဆိုထားသည်","codex.patch.change.rejected-delete":"ငြင်းဆိုထားသည်","codex.patch.change.rejected-edit":"ငြင်းဆိုထားသည်","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"ပြီးစီးသွားသော အလုပ် {total} ခုအနက် {completed} ခု","codex.plan.todoListCreated":"လုပ်ဆောင်ရန် စာရင်းကို အလုပ်တာဝန်{total} ခုဖြင့် ဖန်တီးထားသည်","codex.profileDropdown.apiKeyAuth":"API key ဖြင့် ဝင်ရောက်ထားသည်","codex.profileDropdown.codexSettings":"Codex ဆက်တင်များ","codex.profileDropdown.copilotAuth":"Copilot ဖြင့် ဝင်ရောက်ထားသည်","codex.profileDropdown.defaultAccountTitle":"ပုံသေ အကောင့်","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter ဖြင့် ရှည်လျားသော ညွှန်ကြားချက်များ ပေးပို့ပါ","codex.profileDropdown.enterBehaviorError":"ဆက်တင်များကို အပ်ဒိတ်လုပ်ခြင်း မအောင်မြင်ပါ","codex.profileDropdown.getPlus":"ပိုမိုမြင့်မားသော ကန့်သတ်ချက်များအတွက် အဆင့်မြှင့်တင်ပါ","codex.profileDropdown.keyboardShortcuts":"ကီးဘုတ် ရှော့တ်ကတ်များ","codex.profileDropdown.language":"ဘာသာစကား","codex.profileDropdown.languageDefault":"အလိုအလျောက်-ဖမ်းယူပါ","codex.profileDropdown.languageSearchPlaceholder":"ဘာသာစကားများကို ရှာဖွေပါ","codex.profileDropdown.languageUpdateError":"ဘာသာစကားကို အပ်ဒိတ်လုပ်၍မရပါ","codex.profileDropdown.logOut":"အကောင့်မှထွက်ရန်","codex.profileDropdown.mcp":"MCP ဆက်တင်များ","codex.profileDropdown.openConfigToml":"config.toml ကိုဖွင့်ပါ","codex.profileDropdown.openConfigToml.wsl":"WSL ပတ်ဝန်းကျင်တွင် config.toml ကိုဖွင့်ပါ","codex.profileDropdown.openExtensionSettings":"ဆက်တင်များကို ဖွင့်ပါ","codex.profileDropdown.openMcpSettings":"MCP ဆက်တင်များကို ဖွင့်ပါ","codex.profileDropdown.openOnStartup":"စတင်ချိန်တွင် ဖွင့်ပါ","codex.profileDropdown.openOnStartupError":"ဆက်တင်များကို အပ်ဒိတ်လုပ်ခြင်း မအောင်မြင်ပါ","codex.profileDropdown.openSkillsSettings":"ကျွမ်းကျင်မှုဆက်တင်များကို ဖွင့်ပါ","codex.profileDropdown.personalAccountTitle":"ကိုယ်ပိုင် အကောင့်","codex.profileDropdown.queueFollowUps":"နောက်ဆက်တွဲ တန်းစီခြင်း","codex.profileDropdown.queueFollowUpsError":"ဆက်တင်များကို အပ်ဒိတ်လုပ်ခြင်း မအောင်မြင်ပါ","codex.profileDropdown.readDocs":"စာရွက်စာတမ်းများကို ဖတ်ပါ","codex.profileDropdown.readSkillsDocs":"စာရွက်စာတမ်းများကို ဖတ်ပါ","codex.profileDropdown.runInWsl":"WSL တွင်လုပ်ဆောင်ပါ","codex.profileDropdown.runInWslError":"ဆက်တင်များကို အပ်ဒိတ်လုပ်ခြင်း မအောင်မြင်ပါ","codex.profileDropdown.runInWslTooltip":"WSL အတွင်းတွင် Codex ကို လုပ်ဆောင်ပါ။ sandbox လုံခြုံရေး ပိုမိုကောင်းမွန်လာစေရန်နှင့် ပိုမိုကောင်းမွန်သော စွမ်းဆောင်ရည် အတွက် အကြံပြုအပ်ပါသည်။","codex.profileDropdown.settings":"IDE ဆက်တင်များ","codex.profileDropdown.settingsPage":"ဆက်တင်များ","codex.profileDropdown.signInWithOpenAI":"ChatGPT ဖြင့် ဝင်ရောက်ပါ","codex.profileDropdown.skills":"ကျွမ်းကျင်မှုဆက်တင်များ","codex.profileDropdown.switchToCopilotAccount":"Copilot အကောင့်ကို သုံးပါ","codex.profileDropdown.switchToOpenAIAccount":"OpenAI အကောင့်ကို သုံးပါ","codex.profileDropdown.todoCodelens":"TODO မှတ်ချက်များကို ပြင်ဆင်ပါ","codex.profileDropdown.todoCodelensError":"ဆက်တင်များကို အပ်ဒိတ်လုပ်ခြင်း မအောင်မြင်ပါ","codex.profileDropdown.windowsDocumentation":"Windows စာရွက်စာတမ်း","codex.profileFooter.signedInFallback":"ဆက်တင်များ","codex.profileFooter.upgrade":"အဆင့်မြှင့်ပါ","codex.recentTasksMenu.clearSearch":"ရှာဖွေမှုကို ရှင်းပါ","codex.recentTasksMenu.cloud":"Cloud အလုပ်တာဝန်များ","codex.recentTasksMenu.count":"{count, plural, =0 {လုပ်ဆောင်ဆဲ အလုပ်တာဝန်များ မရှိပါ} other {အလုပ်တာဝန် # ခု လုပ်ဆောင်နေသည်}}","codex.recentTasksMenu.empty":"thread များ မရှိသေးပါ","codex.recentTasksMenu.errorCloud":"အလုပ်တာဝန်များ ဖွင့်၍မရပါ။","codex.recentTasksMenu.errorCloud.inline":"cloud အလုပ်တာဝန်များ တင်၍မရပါ။","codex.recentTasksMenu.filterAll":"အားလုံး","codex.recentTasksMenu.filterCloudTasks":"cloud အလုပ်တာဝန်များကို စစ်ထုတ်ပါ","codex.recentTasksMenu.filterTooltip":"ပတ်ဝန်းကျင်အလိုက် တာဝန်များကို စစ်ထုတ်ပါ","codex.recentTasksMenu.local":"ဒေသတွင်း အလုပ်တာဝန်များ","codex.recentTasksMenu.recent":"အလုပ်တာဝန်များ အားလုံး","codex.recentTasksMenu.search":"မကြာသေးမီက အလုပ်တာဝန်များကို ရှာဖွေပါ","codex.recentTasksMenu.searchEmpty":"ရလဒ်အဖြေများ မရှိပါ","codex.recentTasksMenu.tooltip":"အလုပ်တာဝန် မှတ်တမ်း","codex.recentTasksMenu.trigger":"မကြာသေးမီက အလုပ်တာဝန်များ။ {count, plural, other {#ကို လုပ်ဆောင်နေသည်}}","codex.remoteConversation.applyDiff.applyCta":"ပြောင်းလဲမှုများကို ကျင့်သုံးရန်","codex.remoteConversation.applyDiff.dropdownTitle":"ဒေသခံဌာနခွဲသို့ ပြောင်းလဲမှုများကို ကျင့်သုံးရန်","codex.remoteConversation.applyDiff.revertCta":"ပြောင်းလဲမှုများကို မူလ အတိုင်းပြန်ပြောင်းရန်","codex.remoteConversation.closeImagePreview":"ပုံအစမ်းကြည့်ရှုခြင်းကို ပိတ်ပါ","codex.remoteConversation.codexCloudTask":"သင်သည် <u>Codex cloud</u> အလုပ်တာဝန်ကို ကြည့်ရှုနေပါသည်။","codex.remoteConversation.errorWithMessage":"အမှား- {message}","codex.remoteConversation.loadingImage":"ရုပ်ပုံ ဖွင့်နေသည်","codex.remoteConversation.openInWeb":"ဝဘ်တွင်ဖွင့်ပါ","codex.remoteConversation.streaming":"စတင် အသုံးပြုခြင်း","codex.remoteConversation.turnFailed":"ဤအလုပ်တာဝန် အတွင်း အမှားတစ်ခု ဖြစ်ပွားခဲ့သည်","codex.remoteConversation.turnTab.loading":"ကြိုးစားမှု {number}","codex.remoteConversation.turnTab.title":"ကြိုးစားမှု {number}","codex.remoteConversation.userImageAttachment":"သုံးစွဲသူ ပူးတွဲဖိုင်","codex.remoteConversation.viewPreviousTurns":"ဝဘ်တွင်ဖွင့်ပါ","codex.remoteConversation.viewPreviousTurns.buttonText":"ဖွင့်ရန်","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ဝဘ်တွင်ဖွင့်ပါ","codex.review.copyGitApplyCommand":"git apply command ကို ကူးယူပါ","codex.review.copyGitApplyCommand.toast":"git apply command ကို ကလစ်ဘုတ်သို့ ကူးယူပြီးပါပြီ","codex.review.diffTooLarge.description":"ဤကွာခြားချက်သည် ပြန်လည်သုံးသပ်ခြင်းတွင် ပြသရန် အလွန်ကြီးလွန်းပါသည်။","codex.review.diffTooLarge.title":"ကွာခြားချက် ပြသရန် အလွန်ကြီးလွန်းသည်","codex.review.expandOrCollapseDiffButton.collapse":"ကွဲပြားမှုများ အားလုံး ချုံ့ရန်","codex.review.expandOrCollapseDiffButton.expand":"ကွဲပြားမှုများ အားလုံး ချဲ့ရန်","codex.review.expandOrCollapseDiffMenu.collapse":"ကွဲပြားမှုများ အားလုံး ချုံ့ရန်","codex.review.expandOrCollapseDiffMenu.expand":"ကွဲပြားမှုများ အားလုံး ချဲ့ရန်","codex.review.fileSearch.clear":"ဖိုင်စစ်ထုတ်မှုကို ရှင်းပါ","codex.review.fileSearch.empty":"လက်ရှိစစ်ထုတ်မှုနှင့် ကိုက်ညီသော ဖိုင်မရှိပါ","codex.review.fileSearch.label":"ဖိုင်များကို စစ်ထုတ်ပါ","codex.review.fileSearch.placeholder":"ဖိုင်များကို စစ်ထုတ်ပါ…","codex.review.filesChanged":"{num, plural, =0 {ဖိုင်များ ပြောင်းလဲမှု မရှိပါ} other {ဖိုင် # ဖိုင် ပြောင်းလဲခဲ့သည်}}","codex.review.find.loadMore":"ကိုက်ညီမှုများကို ပိုမို လုပ်ဆောင်ပါ","codex.review.fullReview.hideFileTree":"ဖိုင်သစ်ပင်ကို ဝှက်ပါ","codex.review.fullReview.showFileTree":"ဖိုင်သစ်ပင်ကို ပြရန်","codex.review.header.moreOptions":"ပြန်လည်သုံးသပ်ချက် ရွေးချယ်စရာများ","codex.review.largeDiff.banner":"ကြီးမားသော ကွာခြားချက်ကို တွေ့ရှိသည် — တစ်ကြိမ်လျှင် ဖိုင်တစ်ခုသာ ပြသနေသည်။","codex.review.loadFullFiles.disable":"ဖိုင်အပြည့် မလုပ်ဆောင်ပါနဲ့","codex.review.loadFullFiles.enable":"ဖိုင်အပြည့် လုပ်ဆောင်ရန်","codex.review.noDiff":"ကုဒ်ပြောင်းလဲမှုများကို ဤနေရာတွင် ပေါ်လာပါမည်","codex.review.noDiff.gitInit.createRepository":"git repository ဖန်တီးပါ","codex.review.noDiff.gitInit.creating":"ဖန်တီးနေသည်…","codex.review.noDiff.gitInit.error":"Git init မအောင်မြင်ပါ - {message}","codex.review.noDiff.gitInit.success":"Git ကုဒ်သိမ်းဆည်းမှု ဖန်တီးခဲ့သည်","codex.review.noDiff.gitRepoRequired.description":"ဤပရောဂျက်တွင် ပြောင်းလဲမှုများကို ခြေရာခံပြီး ပြန်လည်ပြင်ဆင်ပါ","codex.review.noDiff.gitRepoRequired.title":"Git ကုဒ်သိမ်းဆည်းမှု တစ်ခု ဖန်တီးပါ","codex.review.noDiff.orNoLongerAvailable":"သို့မဟုတ် နောက်ဆုံးပေါ် ကွဲပြားမှုများကို ရရှိနိုင်တော့မည် မဟုတ်ပါ","codex.review.noDiff.reverted":"နောက်ဆုံးအလှည့်ကို ပြန်လှည့်လိုက်ပါပြီ","codex.review.noDiff.revertedOrCommitted":"နောက်ဆုံးအလှည့်ကို ပြန်ပြောင်းထားသည် သို့မဟုတ် ကတိပြုထားသည်","codex.review.refreshGitQueries":"ပြန်စဖွင့်ရန်","codex.review.revert.file.error":"{path}ကို မူလအတိုင်းပြန်ပြောင်းမရနိုင်ပါ","codex.review.revert.file.partialSuccess":"{path}ကို တစ်စိတ်တစ်ပိုင်း မူလအတိုင်းပြန်ပြောင်းခဲ့သည်","codex.review.revert.file.success":"{path}ကို မူလအတိုင်းပြန်ပြောင်းခဲ့သည်","codex.review.revert.hunk.error":"hunk {hunkNumber}ကို {path}တွင် ပြန်ပြောင်း၍မရခဲ့ပါ။","codex.review.revert.hunk.partialSuccess":"hunk {hunkNumber} ကို {path}တွင် တစ်စိတ်တစ်ပိုင်း မူလအတိုင်းပြန်ပြောင်းခဲ့သည်","codex.review.revert.hunk.success":" hunk {hunkNumber} ကို {path}တွင် မူလအတိုင်းပြန်ပြောင်းခဲ့သည်","codex.review.revert.section.error":"အပိုင်းကို ပြန်ပြောင်း၍မရပါ","codex.review.revert.section.partialSuccess":"အပိုင်းကို တစ်စိတ်တစ်ပိုင်း ပြန်ပြောင်းထားသည်","codex.review.revert.section.success":"အပိုင်းကို ပြန်ပြောင်းထားသည်","codex.review.revertDialog.cancel":"ပယ်ဖျက်ရန်","codex.review.revertDialog.confirm":"အတည်ပြုရန်","codex.review.revertDialog.message":"ဤလုပ်ဆောင်ချက်သည် ဤပြောင်းလဲမှု အားလုံးကို ဖယ်ရှားပါသည်။","codex.review.revertDialog.skip":"နောက်ထပ်မမေးပါနဲ့","codex.review.revertDialog.title":"ပြောင်းလဲမှုများကို ပြန်ပြင်မလား။","codex.review.richPreview.disable":"ကြွယ်ဝသော အစမ်းကြည့်ရှုမှုကို ပိတ်ပါ","codex.review.richPreview.enable":"ကြွယ်ဝသော အစမ်းကြည့်ရှုမှုကို ဖွင့်ပါ","codex.review.source.cloud":"မိုးတိမ် ပြောင်းလဲမှုများ","codex.review.source.local.all":"အခွဲ အားလုံး ပြောင်းလဲမှုများ","codex.review.source.local.lastTurn":"နောက်ဆုံး အလှည့်အပြောင်းများ","codex.review.source.local.uncommitted":"commit မလုပ်ထားသော ပြောင်းလဲမှုများ","codex.review.source.worktree":"Commit မလုပ်ထားသော worktree ပြောင်းလဲမှုများ","codex.review.stageFilter.empty.staged.description":"အဆင့်မြှင့်တင်ရန် တည်းဖြတ်မှုများကို လက်ခံပါ","codex.review.stageFilter.empty.staged.title":"အဆင့်ဆင့် ပြောင်းလဲမှုများ မရှိပါ","codex.review.stageFilter.empty.unstaged.description":"ကုဒ်ပြောင်းလဲမှုများကို ဤနေရာတွင် ပေါ်လာပါမည်","codex.review.stageFilter.empty.unstaged.title":"မစီစဉ်ထားသော ပြောင်းလဲမှုများ မရှိပါ","codex.review.stageFilter.staged":"Stage လုပ်ခဲ့သည်","codex.review.stageFilter.staged.count":"Staged · {count}","codex.review.stageFilter.unstaged":"Stage မလုပ်ခဲ့ပါ","codex.review.stageFilter.unstaged.count":"Unstaged · {count}","codex.review.switchToSplit":"ပိုင်းခြား ကွဲပြားမှုသို့ ပြောင်းပါ","codex.review.switchToUnified":"Unified ကွဲပြားမှုသို့ပြောင်းပါ","codex.review.toggleDiffView":"ကွဲပြားမှုမြင်ကွင်းကို ပြောင်းပါ","codex.review.wordDiffs.disable":"စကားလုံးကွဲပြားမှုများကို ပိတ်ပါ","codex.review.wordDiffs.enable":"စကားလုံးကွဲပြားမှုများကို ဖွင့်ပါ","codex.review.wrap.disable":"စကားလုံးထုပ်ပိုးမှုကို ပိတ်ပါ","codex.review.wrap.enable":"စကားလုံးထုပ်ပိုးမှုကို ဖွင့်ပါ","codex.section.patch.missing":"ဤအပိုင်းအတွက် patch တည်ဆောက်၍မရပါ။","codex.shell.collapse":"shell ချုံ့ပါ","codex.shell.commandLine":"{command} ဒေါ်လာ","codex.shell.copy.copiedTooltip":"ကူးယူထားသော shell အကြောင်းအရာများ","codex.shell.copy.copyTooltip":"shell အကြောင်းအရာများကို ကူးယူပါ","codex.shell.copyCommand":"အမိန့် ကူးယူရန်","codex.shell.copyOutput":"အထွက် မိတ္တူကူးရန်","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"shell ကို ချဲ့ပါ","codex.shell.name":"Shell","codex.shell.noOutput":"ကွန်ပျူတာမှထုတ်ပေးသည့်အချက်အလက်များ မရှိပါ","codex.signInFailed.message":"အကောင့်ဝင်ခြင်း မအောင်မြင်ပါ-{rawMessage}","codex.stories.toast.show":"အသိပေးစာ ပြရန်","codex.stories.tooltip.basic":"ဒါက tooltip ပါ။","codex.stories.tooltip.hoverMe":"Cursor နဲ့ တစ်နေရာမှာ အနည်းငယ်ရပ်ထားပါ","codex.stories.tooltip.largerOffset":"ဒီ tooltip မှာ offset ပိုကြီးပါတယ်။","codex.stories.tooltip.offsetButton":"ပိုကြီးသော offset","codex.stories.tooltip.shortcutButton":"ရှော့တ်ကတ် နှင့်အတူ","codex.stories.tooltip.withShortcut":"တာမင်နယ် ဖွင့်၊ ပိတ်ရန်","codex.taskRow.title":"Thread အသစ်","codex.taskRowLayout.confirm":"အတည်ပြုရန်","codex.threadFindBar.chatFilter":"ချတ်များ ရှာဖွေရန်","codex.threadFindBar.close":"ရှာဖွေမှုကို ပိတ်ပါ","codex.threadFindBar.diffFilter":"ကွာခြားချက်များ ရှာဖွေရန်","codex.threadFindBar.label":"thread တွင် ရှာပါ","codex.threadFindBar.nextResult":"နောက်ထပ် ရလဒ်","codex.threadFindBar.noResults":"ရလဒ်အဖြေများ","codex.threadFindBar.placeholder":"thread ကို ရှာဖွေပါ…","codex.threadFindBar.placeholder.extension":"thread ကို ရှာဖွေပါ…","codex.threadFindBar.placeholder.review":"ကွာခြားချက်များ ရှာဖွေရန်...","codex.threadFindBar.placeholder.review.extension":"ကွာခြားချက်များ ရှာဖွေရန်...","codex.threadFindBar.previousResult":"ယခင် ရလဒ်","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {ဖိုင် # ဖိုင် ပြောင်းလဲခဲ့သည်}}","codex.unifiedDiff.inlineLargeFile":"လိုင်းအတွင်း ပြသရန် အလွန်ကြီးလွန်းပါသည်","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"ပြင်ထားသည်ကိုဖျက်ရန်","codex.unifiedDiff.revertPatchError":"ပြောင်းလဲမှုများကို ပြန်ပြောင်း၍မရပါ","codex.unifiedDiff.revertPatchSuccess":"ပြောင်းလဲမှုများကို ပြန်ပြောင်းပြီးပါပြီ","codex.unifiedDiff.reviewChangesSuffix":"အပြောင်းအလဲများ","codex.unifiedDiff.reviewShort":"ပြန်လည်သုံးသပ်ရန်","codex.unifiedDiff.viewDiffTooltip":"ပြန်လည်သုံးသပ်ရန်","codex.upsellBanner.business.headline":"ယခု ပိုမို ဝင်သုံးခွင့်ရရှိရန် သင့်စီမံသူထံ တောင်းဆိုချက် တစ်ခုပေးပို့ပါ သို့မဟုတ် {resetDate}အထိ စောင့်ပါ","codex.upsellBanner.cbp.headline":"ယခု ပိုမို ဝင်ရောက်ခွင့်ရရန် သင့်စီမံသူထံ တောင်းဆိုချက် တစ်ခုပေးပို့ပါ။","codex.upsellBanner.cta.addCredits":"ခရက်ဒစ်များ ထည့်ရန်","codex.upsellBanner.cta.upgradeAccount":"အဆင့်မြှင့်ပါ","codex.upsellBanner.cta.viewUsage":"သုံးစွဲမှုကို ကြည့်ပါ","codex.upsellBanner.free.trialHeadline":"သင့်ကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါမည်။ Codex ကို ဆက်လက် အသုံးပြုရန်နှင့် GPT-5.3-Codex ကို ဝင်သုံးခွင့် အတွက် Plus ၏ အခမဲ့အစမ်းသုံးမှုကို ယနေ့စတင်ပါ။","codex.upsellBanner.freeOrGo.headline":"သင့်နှုန်းထားကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါမည်။ Codex ကို ဆက်လက်အသုံးပြုရန် ယနေ့ Plus သို့ အဆင့်မြှင့်တင်ပါ။","codex.upsellBanner.general.headline":"သင့်နှုန်းထားကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါမည်။","codex.upsellBanner.general.title":"သင့်တွင် Codex မက်ဆေ့ချ်များ ကုန်သွားပြီ","codex.upsellBanner.go.trialHeadline":"သင့်ကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါသည်။ Codex ကို ဆက်သုံးရန် ယနေ့ Plus ၏ အခမဲ့အစမ်းသုံးမှုကို စတင်ပါ။","codex.upsellBanner.plus.headline":"သင့်နှုန်းထားကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါမည်။ Codex ကို ဆက်လက်အသုံးပြုရန် ခရက်ဒစ်များထည့်ပါ သို့မဟုတ် ယနေ့ Pro သို့ အဆင့်မြှင့်တင်ပါ။","codex.upsellBanner.pro.headline":"သင့်နှုန်းထားကန့်သတ်ချက်ကို {resetDate} တွင် ပြန်လည်သတ်မှတ်ပါမည်။ Codex ကို ယခု ဆက်လက်အသုံးပြုရန် ခရက်ဒစ်များထည့်ပါ။","codex.userMessage.autoResolveSync":"ပဋိပက္ခများကို အလိုအလျောက်ဖြေရှင်းပါ","codex.userMessage.commentCount":"{count, plural, other {မှတ်ချက် # ခု}}","codex.userMessage.copiedAriaLabel":"ကူးယူပြီးပါပြီ","codex.userMessage.copiedTooltip":"ကူးယူပြီးပါပြီ","codex.userMessage.copyAriaLabel":"မက်ဆေ့ချ် ကူးယူရန်","codex.userMessage.copyTooltip":"ကူးယူရန်","codex.userMessage.implementPlan":"အစီအစဉ်ကို အကောင်အထည်ဖော်ပါ","codex.userMessage.noContent":"အကြောင်းအရာမရှိပါ","codex.userMessage.priorConversation":"ယခင် စကားပြောဆိုမှုဆိုင်ရာကိုးကားချက်များ ","codex.userMessage.reviewMode":"ပြန်လည်သုံးသပ်ခြင်းမုဒ်","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} အတွက်","codex.webSearch.summary.verb.completed":"ဝဘ်ကို ရှာဖွေထားသည်","codex.webSearch.summary.verb.inProgress":"ဝဘ်ကို ရှာဖွေနေသည်","codex.windowsInstallWslBanner.dismiss":"ပယ်ဖြုတ်ရန်","codex.windowsInstallWslBanner.installWslCta":"sandbox ကိုဖွင့်ပါ","codex.windowsInstallWslBanner.learnMore":"ပိုမိုသိရှိရန်","codex.windowsSandboxBanner.content":"အေးဂျင့်မုဒ်သည် ဖိုင်စနစ်နှင့် ကွန်ရက်ဝင်ရောက်ခွင့်ကို ကန့်သတ်ရန် Windows တွင် စမ်းသပ် sandbox တစ်ခုကို အသုံးပြုသည်။{sandboxLink}","codex.windowsSandboxBanner.title":"Agent မုဒ်အတွက် sandbox ကိုဖွင့်ပါ","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows ဆက်တင်များ","codexUpgradeModal.body":"နောက်ဆုံးပေါ် ကုဒ်ရေးသားခြင်း အေးဂျင့် မော်ဒယ် — ပိုမိုစမတ်ကျ၊ ပိုမိုမြန်ဆန်ပြီး အထွေထွေ နည်းပညာဆိုင်ရာ လုပ်ငန်းများတွင် ပိုမိုစွမ်းဆောင်နိုင်ပါသည်။ {link}","codexUpgradeModal.close":"ပိတ်ရန်","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"ပိုမိုသိရှိရန်","codexUpgradeModal.title":"GPT-5.3-Codex-Max ကို မိတ်ဆက်ခြင်း","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex ကို ယခုပဲ စမ်းသုံးကြည့်ပါ","codexUpgradeModal.useExistingModel":"လက်ရှိမော်ဒယ်ဖြင့် ဆက်လုပ်ပါ","commentAttachments.numComments":"{count, plural, other {မှတ်ချက် # ခု}}","commentAttachments.removeAriaLabel":"မှတ်ချက်များ ပူးတွဲဖိုင်ကို ဖယ်ရှားပါ","common.close":"ပိတ်ရန်","composer.addContext.openFilePickerError":"ဖိုင်ရွေးချယ်သည့်ကိရိယာကို ဖွင့်၍မရပါ","composer.addContextDropdown.ariaLabel":"ဖိုင်များနှင့် အခြားအရာများကို ထည့်ရန်","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ဖိုင်များနှင့် အခြားအရာများကို ထည့်ရန်","composer.addPhotosAndFiles":"ဓာတ်ပုံများနှင့် ဖိုင်များ ထည့်ရန်","composer.atMentionList.emptyQuery":"ဖိုင်များရှာဖွေရန် ရိုက်ထည့်ပါ","composer.atMentionList.loading":"ဖိုင်များကို ရှာဖွေနေသည်…","composer.atMentionList.noResults":"ရလဒ်အဖြေများ မရှိပါ","composer.attemptsSelector.option":"{count, plural, other {ဗားရှင်း#ခု}}","composer.attemptsSelector.tooltip":"Codex မှ ပြုလုပ်ရန် ပြိုင်တူကြိုးပမ်းမှု အရေအတွက်","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"{count, plural, other {ဂိတ် # ခု}}ကို လုပ်ဆောင်နေသည်","composer.backgroundTerminals.stop":"ရပ်ရန်","composer.cleanBackgroundTerminals.error":"နောက်ခံ တာမီနယ်များကို ရပ်တန့်၍မရပါ။","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"ဒေသတွင်း","composer.cloudFollowUp.whereRun":"ဤနောက်ဆက်တွဲကို မည်သည့်နေရာတွင် လုပ်ဆောင်သင့်သနည်း။","composer.cloudTaskCreationError":"cloud အလုပ်တာဝန် ဖန်တီးရာတွင် အမှားအယွင်း","composer.cloudTaskError":"အလုပ်တာဝန် ဖန်တီးရာတွင် အမှားအယွင်း","composer.contextWindow.autoCompactionTooltipLine1":"Codex သည် ၎င်း၏ context ကို အလိုအလျောက် ကျစ်လစ်စေသည်","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"ဆက်စပ်အကြောင်းအရာ ဝင်းဒိုး-","composer.contextWindowUsageStatusFull":"{usage}% ပြည့်နေသည်","composer.contextWindowUsageStatusLeft":"{usage}% အသုံးပြုပြီး ({remaining}% ကျန်)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k တိုကင်များ အသုံးပြုပြီး","composer.customCliTooltip":"စိတ်ကြိုက် CLI executable ကိုသုံးနေသည်","composer.dictation.aria":"စကားမှ စာသားသို့","composer.dictation.cancel.aria":"အသံဖြင့်ပြောသည်ကိုရေးခြင်း ရပ်ရန်","composer.dictation.cancel.tooltip":"အသံဖြင့်ပြောသည်ကိုရေးခြင်း ရပ်ရန်","composer.dictation.startError":"အသံဖြင့်ပြောသည်ကိုရေးခြင်းကို စတင်၍မရပါ","composer.dictation.submit.aria":"ကူးယူပြီး ပေးပို့ပါ","composer.dictation.submit.tooltip":"ကူးယူပြီး ပေးပို့ပါ","composer.dictation.tooltip":"စကားမှ စာသားသို့ပြောင်းရန် နှိပ်ထားပါ","composer.dictation.transcribeError":"အသံကို စာသားအဖြစ် ပြောင်းလဲ၍မရပါ","composer.dictation.unsupported":"ဤစက်တွင် အသံဖြင့်ပြောသည်ကိုရေး၍မရပါ","composer.dropOverlay.holdShift":"ပစ်ချရန် {key} ကို ဖိထားပါ။","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"အသစ် ဖန်တီးရန်","composer.environmentSelector.error":"ပတ်ဝန်းကျင်ကို လုပ်ဆောင်ရာတွင် အမှားအယွင်းရှိသည်","composer.environmentSelector.goBack":"composer သို့ ပြန်သွားပါ","composer.environmentSelector.title":"ပတ်ဝန်းကျင်ကို ရွေးချယ်ရန်","composer.environmentSelector.tooltip":"Cloud ပတ်ဝန်းကျင်ကို ရွေးချယ်ပါ","composer.feedbackSlashCommand.title":"အကြံပြုချက်","composer.filePicker.selectFile":"ဖိုင်တစ်ခု ရွေးချယ်ပါ","composer.filePicker.selectFiles":"ဖိုင် ​ရွေးချယ်ရန်...","composer.followerTooltip":"ဆက်လုပ်ရန် ဤစကားဝိုင်းစတင်ခဲ့သည့် ဝင်းဒိုးသို့ ပြန်သွားပါ။","composer.footer.branchSwitch.checkoutError":"ဘဏ်ခွဲပြောင်း၍မရပါ- {message}","composer.footer.branchSwitch.createAndCheckout":"ဘဏ်ခွဲအသစ်တစ်ခု ဖန်တီးပြီး ငွေရှင်းရန်…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"ဘဏ်ခွဲအသစ်တစ်ခု ဖန်တီးပြီး ငွေရှင်းရန် ပြောင်းလဲမှုများကို ကတိပြုပါ","composer.footer.branchSwitch.createBranchError":"အခွဲကို ဖန်တီး၍မရပါ - {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"အခွဲ နာမည်","composer.footer.branchSwitch.createDialog.branchExistsError":"ဘဏ်ခွဲရှိပြီးသားပါ။","composer.footer.branchSwitch.createDialog.close":"ပိတ်ရန်","composer.footer.branchSwitch.createDialog.createAndCheckout":"ဖန်တီးပြီး ငွေရှင်းရန်","composer.footer.branchSwitch.createDialog.placeholder":"ဘဏ်ခွဲအသစ်","composer.footer.branchSwitch.createDialog.title":"ဘဏ်ခွဲတစ်ခု ဖန်တီးပြီး ငွေရှင်းပါ","composer.footer.branchSwitch.createDialog.trailingSlashError":"ဘဏ်ခွဲအမည်ကို “/” ဖြင့် မအဆုံးသတ်ရ","composer.footer.branchSwitch.tooltip":"ဌာနခွဲပြောင်းပါ","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} ကိုစစ်ဆေးရန် {fileCount, plural, other {# ဖိုင်}} တွင်ပြောင်းလဲမှုများကိုအတည်ပြုပါ။","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} ကို ငွေရှင်းရန် {fileCount, plural, other {# ဖိုင်}} တွင် ပြောင်းလဲမှုများ ရှိသည်။","composer.footer.branchSwitch.uncommittedDialog.cancel":"ပယ်ဖျက်ရန်","composer.footer.branchSwitch.uncommittedDialog.commit":"commit လုပ်ပြီး အခွဲကိုပြောင်းပါ…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"အောက်ပါဖိုင်များ အပေါ် သင်၏ ပြောင်းလဲမှုများကို ငွေရှင်းခြင်းဖြင့် အစားထိုးသွားပါမည်-","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"ဆက်လုပ်ရန် သင့်ပြောင်းလဲမှုများကို Commit လုပ်လိုက်ပါ","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ရွေးထားသော အခွဲ","composer.footer.branchSwitch.uncommittedDialog.title":"switch branch သို့ ပြောင်းလဲမှုများကို commit လုပ်ပါ","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Commit မလုပ်ထားသော- {fileCount, plural, other {# ဖိုင်}}","composer.forkSlashCommand.description":"ဒီ thread ကို local သို့မဟုတ် worktree အသစ်ထဲ ခွဲထုတ်ပါ","composer.forkSlashCommand.option.local.description":"ဒေသတွင်း thread အသစ်တစ်ခုမှာ ဆက်လုပ်ပါ","composer.forkSlashCommand.option.local.title":"local ထဲသို့ ခွဲထုတ်ပါ","composer.forkSlashCommand.option.worktree.description":"worktree အသစ်တစ်ခုတွင် ဆက်လုပ်ပါ","composer.forkSlashCommand.option.worktree.title":"worktree ထဲသို့ ခွဲထုတ်ပါ","composer.forkSlashCommand.title":"ခွဲထုတ်ပါ","composer.ideContextIndicator":"IDE အကြောင်းအရာ","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"ရွေးချယ်မှု {br} ခု အခြေအနေနှင့် ဖွင့်ထားသောဖိုင်များကဲ့သို့သော IDE မှ အကြောင်းအရာများကို ထည့်ပါ။","composer.ideContextIndicator.tooltipToggle":"ဖွင့်၊ ပိတ်ရန်","composer.ideContextSlashCommand.disableDescription":"IDE နောက်ခံအကြောင်းအရာကို ပိတ်ပါ","composer.ideContextSlashCommand.enableDescription":"လက်ရှိရွေးချယ်မှု၊ ဖွင့်ထားသောဖိုင်များနှင့် သင့် IDE မှ အခြားနောက်ခံအကြောင်းအရာများကို ထည့်သွင်းပါ","composer.ideContextSlashCommand.title":"IDE အကြောင်းအရာ","composer.imageInputsUnsupported":"ဤမော်ဒယ်သည် ရုပ်ပုံထည့်သွင်းမှုများကို မပံ့ပိုးပါ။ အခြားမော်ဒယ်တစ်ခုကို စမ်းကြည့်ပါ။","composer.imageUploadFailed":"ပုံကို အပ်လုဒ်လုပ်၍မရပါ","composer.includeIdeContextDropdown":"IDE အကြောင်းအရာ ထည့်သွင်းပါ","composer.includeIdeContextDropdown.ariaLabel":"IDE အကြောင်းအရာ ထည့်သွင်းပါ","composer.localCwdDropdown.addWorkspaceRoot":"ပရောဂျက်အသစ်ထည့်ပါ","composer.localCwdDropdown.noActiveRoot":"သင့်ပရောဂျက်ကို ရွေးချယ်ပါ","composer.localCwdDropdown.noResults":"ဖိုဒါများ မတွေ့ပါ","composer.localCwdDropdown.title":"သင့်ပရောဂျက်ကို ရွေးချယ်ပါ","composer.localTaskError":"စကားဝိုင်း စတင်ရာတွင် အမှားအယွင်းရှိနေပါသည်","composer.mcpSlashCommand.description":"MCP ဆာဗာအခြေအနေကို ပြပါ","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"အထောက်အထား စိစစ်မထားပါ","composer.mcpStatus.authOauth":"အထောက်အထားစိစစ်ပြီး (OAuth)","composer.mcpStatus.authToken":"အထောက်အထားစိစစ်ပြီး (API ကီး)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"ပိတ်ရန်","composer.mcpStatus.disabled":"ပိတ်ထားသည်","composer.mcpStatus.emptyLabel":"ဆာဗာများ-","composer.mcpStatus.emptyValue":"MCP ဆာဗာများကို ပြင်ဆင်သတ်မှတ်ခြင်း မရှိပါ","composer.mcpStatus.enabled":"ဖွင့်ထားသည်","composer.mcpStatus.errorLabel":"အခြေအနေ-","composer.mcpStatus.errorValue":"MCP အခြေအနေကို တင်၍ မရပါ","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"အေးဂျင့်","composer.mode.agentMode.auto.dropdownLabel":"အေးဂျင့်","composer.mode.agentMode.auto.optionLabel":"အေးဂျင့်","composer.mode.agentMode.changePermission":"မော်ဒယ် ပြောင်းရန်","composer.mode.agentMode.custom":"စိတ်ကြိုက်","composer.mode.agentMode.custom.dropdownLabel":"စိတ်ကြိုက်","composer.mode.agentMode.custom.option":"စိတ်ကြိုက် (config.toml)","composer.mode.agentMode.custom.optionLabel":"စိတ်ကြိုက် (config.toml)","composer.mode.agentMode.customInfo.cancel":"ပယ်ဖျက်ရန်","composer.mode.agentMode.customInfo.cli":"CLI မှ သို့မဟုတ် ဖိုင်ကို တိုက်ရိုက် တည်းဖြတ်ခြင်းဖြင့် ထိုဆက်တင်များကို ချိန်ညှိနိုင်ပါသည်။","composer.mode.agentMode.customInfo.confirm":"စိတ်ကြိုက်မုဒ်ကို သုံးပါ","composer.mode.agentMode.customInfo.description":"စိတ်ကြိုက်မုဒ်သည် သင်၏ config.toml တွင် သတ်မှတ်ထားသော ခွင့်ပြုချက်နှင့် sandbox မူဝါဒများကို သုံးသည်<link>config.toml</link>ဖိုင်။","composer.mode.agentMode.customInfo.docs":"ခွင့်ပြုချက်နှင့် sandbox မူဝါဒများကို ပြင်ဆင်သတ်မှတ်ခြင်းအကြောင်း<link>execution environment docs တွင် ပိုမိုလေ့လာပါ။</link>.","composer.mode.agentMode.customInfo.refresh":"နောက်တစ်ကြိမ် အေးဂျင့် လည်ပတ်သည့်အခါ မည်သည့်ပြောင်းလဲမှုမဆို သက်ရောက်မှုရှိပါသည်။","composer.mode.agentMode.customInfo.title":"စိတ်ကြိုက်မုဒ် မည်သို့အလုပ်လုပ်သလဲ","composer.mode.agentMode.fullAccess":"အေးဂျင့် (အပြည့်အဝ ဝင်သုံးခွင့်)","composer.mode.agentMode.fullAccess.dropdownLabel":"အေးဂျင့် (အပြည့်အဝ ဝင်သုံးခွင့်)","composer.mode.agentMode.fullAccess.optionLabel":"အေးဂျင့် (အပြည့်အဝ ဝင်သုံးခွင့်)","composer.mode.agentMode.fullAccessConfirm.caution":"အပြည့်အဝ ဝင်သုံးခွင့်ကို ဖွင့်သည့်အခါ သတိထားပါ။ ၎င်းသည် ဒေတာ ဆုံးရှုံးမှု၊ ယိုစိမ့်မှု သို့မဟုတ် မမျှော်လင့်ထားသော အပြုအမူများ၏ အန္တရာယ်ကို သိသိသာသာ တိုးမြင့်စေသည်။","composer.mode.agentMode.fullAccessConfirm.confirm":"ဟုတ်ကဲ့၊ မည်သို့ပင်ဖြစ်စေ ဆက်လုပ်ပါ","composer.mode.agentMode.fullAccessConfirm.description":"Codex အပြည့်အဝ ဝင်သုံးခွင့်ဖြင့် လည်ပတ်သည့်အခါ သင့်ကွန်ပျူတာရှိ မည်သည့်ဖိုင်ကိုမဆို တည်းဖြတ်နိုင်ပြီး သင့်ခွင့်ပြုချက်မရှိဘဲ ကွန်ရက်ဖြင့် command များကို လုပ်ဆောင်နိုင်သည်။","composer.mode.agentMode.fullAccessConfirm.goBack":"ပယ်ဖျက်ရန်","composer.mode.agentMode.fullAccessConfirm.title":"အပြည့်အဝ ဝင်သုံးခွင့်ပြုလိုပါသလား။","composer.mode.agentMode.readOnly":"ချတ်","composer.mode.agentMode.readOnly.dropdownLabel":"ချတ်","composer.mode.agentMode.readOnly.optionLabel":"ချတ်","composer.mode.agentMode.tooltip":"မော်ဒယ် ပြောင်းရန်","composer.mode.agentMode.tooltip.auto":"ဖိုင်များကို ဖတ်ရှုပြီး တည်းဖြတ်ပါ၊ command များကို လုပ်ဆောင်ပါ။","composer.mode.agentMode.tooltip.custom":"config.toml တွင် သတ်မှတ်ထားသော နောက်ဆုံးပေါ် ခွင့်ပြုချက်နှင့် sandbox မူဝါဒများကို သုံးပါ။","composer.mode.agentMode.tooltip.fullAccess":"Codex သည် ပရောဂျက်ပြင်ပရှိ ဖိုင်များကို တည်းဖြတ်နိုင်ပြီး ကွန်ရက် ဝင်သုံးခွင့်ဖြင့် command များကို လုပ်ဆောင်နိုင်သည်။ အသုံးပြုသည့်အခါ သတိထားပါ။","composer.mode.agentMode.tooltip.readOnly":"ဖိုင်များကို တည်းဖြတ်ရန်နှင့် command များကို လုပ်ဆောင်ရန် ခွင့်ပြုချက် လိုအပ်ပါသည်။","composer.mode.cloud.tooltip":"Cloud ပတ်ဝန်းကျင်တွင် အလုပ်လုပ်ပါ","composer.mode.contactAdmin":"ပိုမိုဝင်ရောက်ခွင့်ရရှိရန်၊ သင့် admin ကို ဆက်သွယ်ပါ။","composer.mode.local":"ဒေသတွင်း","composer.mode.local.learnMore":"ပိုမိုသိရှိရန်","composer.mode.local.model.custom":"စိတ်ကြိုက်","composer.mode.local.model.loadingModel":"မော်ဒယ်ကို တင်နေသည်","composer.mode.local.model.selecrReasoningEffort":"စဉ်းစားတွေးခေါ်ပုံကို ရွေးချယ်ရန်","composer.mode.local.model.selectModel":"မော်ဒယ် ရွေးရန်","composer.mode.local.model.tooltip":"မော်ဒယ် ရွေးချယ်ပါ","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"မြင့်","composer.mode.local.reasoning.low.label":"နိမ့်","composer.mode.local.reasoning.medium.label":"အလယ်အလတ်","composer.mode.local.reasoning.minimal.label":"အနည်းငယ်မျှသာ","composer.mode.local.reasoning.none.label":"တစ်ခုမျှမရှိ","composer.mode.local.reasoning.xhigh.label":"အလွန်မြင့်မားသည်","composer.mode.localRemoteWhereRun":"အလုပ်တာဝန်ကို လုပ်ဆောင်ရမည့်နေရာကို ရွေးချယ်ပါ","composer.mode.newTask.header":"ဆက်လက် လုပ်ဆောင်ရန်","composer.mode.rateLimit.day":"{days} ရက်","composer.mode.rateLimit.heading":"ကျန်ရှိနေသော နှုန်းထားကန့်သတ်ချက်များ","composer.mode.rateLimit.hour":"{hours}နာရီ","composer.mode.rateLimit.minute":"{minutes}မိနစ်","composer.mode.rateLimit.modelSectionLabel":"{modelName} ကန့်သတ်ချက်-","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} ပတ် ကန့်သတ်ချက်}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks}ပတ်}}","composer.mode.remote.connectToCloud":"Codex ဝဘ်ကို ချိတ်ဆက်ပါ","composer.mode.remote.connectToCloudDisabledTooltip":"Cloud သို့ အလုပ်များပေးပို့နိုင်စေရန် Codex ဝဘ်မှတစ်ဆင့် ပတ်ဝန်းကျင်တစ်ခု တည်ဆောက်ပါ","composer.mode.remote.selectEnvironment":"ပတ်ဝန်းကျင်ကို ရွေးချယ်ရန်","composer.mode.remote.sendToCloud":"cloud သို့ပို့ပါ","composer.mode.remote.setupViaWeb":"Codex web မှတစ်ဆင့် ပတ်ဝန်းကျင်တစ်ခု စနစ်ထည့်သွင်းပါ","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"cloud ပတ်ဝန်းကျင်မှာ အလုပ်လုပ်ပါ","composer.mode.segmentedToggle.local.tooltip":"သင့်ဒေသခံပရောဂျက်တွင် အလုပ်လုပ်ပါ","composer.mode.segmentedToggle.worktree.tooltip":"မျဉ်းပြိုင် worktree တွင် အလုပ်လုပ်ပါ","composer.mode.upgradeToPlus":"Plus သို့ အဆင့်မြှင့်ရန်","composer.mode.upgradeToPro":"Pro သို့ အဆင့်မြှင့်ရန်","composer.mode.workLocally":"ဒေသခံပရောဂျက်","composer.mode.workLocally.currentBranchFallback":"သင့်ဌာနခွဲ","composer.mode.workLocally.tooltip":"{branchName}တွင် လုပ်ဆောင်ပါ","composer.mode.worktree":"Worktree အသစ်","composer.mode.worktree.submoduleWarning":"ဒီကုဒ်သိုလှောင်မှုမှာ git submodules တွေ ပါပါတယ်။ Worktree ဖန်တီးမှု မအောင်မြင်နိုင်ပါဘူး","composer.mode.worktree.tooltip":"အပြိုင်အလုပ်လုပ်ရန် သင့်ဒေသခံပရောဂျက်၏ မိတ္တူတစ်ခု ဖန်တီးပါ","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"စကားပြောဆိုနေစဉ် မော်ဒယ်များ ပြောင်းလဲခြင်းသည် စွမ်းဆောင်ရည်ကို ကျဆင်းစေပါသည်။","composer.newChat.heading.browser":"နောက်ထပ်ဘာကုဒ်တွေ ရေးကြမလဲ။","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex သည် config.toml တွင် သတ်မှတ်ထားသော ခွင့်ပြုချက်ကို အသုံးပြုသည်။","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex သည် သင့်ကွန်ပျူတာကို အပြည့်အဝ ဝင်သုံးခွင့်ရှိသည် (အန္တရာယ်မြင့်မားသည်)","composer.permissionsDropdown.custom.label":"စိတ်ကြိုက် (config.toml)","composer.permissionsDropdown.custom.optionLabel":"စိတ်ကြိုက် (config.toml)","composer.permissionsDropdown.default.label":"မူရင်းခွင့်ပြုချက်","composer.permissionsDropdown.default.optionLabel":"မူရင်းခွင့်ပြုချက်","composer.permissionsDropdown.default.tooltip":"Codex သည် sandbox တွင် command များကို အလိုအလျောက် လုပ်ဆောင်သည်","composer.permissionsDropdown.disabled.requirements":"ခွင့်ပြုချက်များကို requirements.toml မှ လော့ခ်ချထားသည်","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml မှ အပြည့်အဝ ဝင်သုံးခွင့်ကို ပိတ်ထားသည်။","composer.permissionsDropdown.fullAccess.label":"အပြည့်အ၀ ဝင်သုံးခွင့်","composer.permissionsDropdown.fullAccess.optionLabel":"အပြည့်အ၀ ဝင်သုံးခွင့်","composer.permissionsDropdown.trigger.tooltip":"ခွင့်ပြုချက်များ ပြောင်းလဲရန်","composer.personalitySlashCommand.description.friendly":"နွေးထွေးမှု၊ ပူးပေါင်းဆောင်ရွက်မှုနှင့် အထောက်အကူဖြစ်စေသည်","composer.personalitySlashCommand.description.pragmatic":"တိုတောင်းမှု၊ အလုပ်အပေါ် အာရုံစိုက်မှုနှင့် တိုက်ရိုက်","composer.personalitySlashCommand.label.friendly":"ဖော်ရွေသော","composer.personalitySlashCommand.label.pragmatic":"လက်တွေ့ကျသူ","composer.personalitySlashCommand.notApplicableSuffix":"(လက်ရှိမော်ဒယ်နှင့် မသက်ဆိုင်ပါ)","composer.personalitySlashCommand.title":"ကိုယ်ရည်ကိုယ်သွေး","composer.placeholder.cloudFollowUp.directFollowUp":"ဤ cloud လုပ်ငန်းအတွက် နောက်ဆက်တွဲလုပ်ဆောင်ခြင်း","composer.placeholder.cloudFollowUp.local":"ဤ cloud အလုပ်တာဝန်ကို ရည်ညွှန်းသည့် local အလုပ်တာဝန် အသစ်တစ်ခု ဖန်တီးပါ","composer.placeholder.cloudFollowUp.workingTree":"သင့်လက်ရှိကုဒ်ပါဝင်သည့် cloud အလုပ်တာဝန် အသစ်တစ်ခု ဖန်တီးပြီး ဤအလုပ်တာဝန်ကို ရည်ညွှန်းပါမည်","composer.placeholder.localFollowUp.cloud":"cloud အလုပ်တာဝန် အသစ်တွင် နောက်ဆက်တွဲလုပ်ဆောင်ခြင်း","composer.placeholder.localFollowUp.locally":"နောက်ဆက်တွဲပြောင်းလဲမှုများကို တောင်းဆိုပါ","composer.placeholder.newTask.cloud":"Codex ကို cloud မှာ ဘာမဆိုလုပ်ခိုင်းပါ","composer.placeholder.newTask.doAnything":"Codex ကို ဘာမဆိုလုပ်ခိုင်းပါ","composer.placeholder.newTask.locally":"ဖိုင်တွေထည့်ဖို့၊ / command တွေအတွက် Codex ကို ဘာမဆိုမေးလိုက်ပါ","composer.planModeDropdown":"အစီအစဉ်မုဒ်","composer.planModeDropdown.ariaLabel":"အစီအစဉ်မုဒ်","composer.planModeIndicator":"အစီအစဉ်","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex ဖြင့် အစီအစဉ်တစ်ခု ဖန်တီးပါ","composer.planModeIndicator.tooltipToggle":"ဖွင့်၊ ပိတ်ရန်","composer.planSlashCommand.disableDescription":"အစီအစဉ်မုဒ်ကို ပိတ်ရန်","composer.planSlashCommand.enableDescription":"အစီအစဉ်မုဒ်ကို ဖွင့်ရန်","composer.planSlashCommand.title":"အစီအစဉ်မုဒ်","composer.priorContext.label":"ယခင် ဆက်စပ် အကြောင်းအရာ","composer.priorContext.removeAriaLabel":"ယခင် ဆက်စပ် အကြောင်းအရာကို ဖယ်ရှားရန်","composer.queuedMessage.delete":"တန်းစီနေသော မက်ဆေ့ချ်ကို ဖျက်ရန်","composer.queuedMessage.edit":"မက်ဆေ့ချ်ကို ပြင်ဆင်ရန်","composer.queuedMessage.more":"တန်းစီနေသော မက်ဆေ့ချ် လုပ်ဆောင်မှုများ","composer.queuedMessage.sendNow":"ထိန်းကျောင်း","composer.queuedMessage.sendNowTooltip":"အလုပ်ကို မနှောင့်ယှက်ဘဲ ယခုပို့ပါ ","composer.queuedMessage.turnOff":"တန်းစီခြင်းကို ပိတ်ရန်","composer.reasoningEffort.local.reasoning.tooltip":"စဉ်းစားတွေးခေါ်ခြင်း အားထုတ်မှုကို ရွေးချယ်ပါ","composer.remote.branchStartingPoint":"ဒီအလုပ်ကို ဘယ်ကဏ္ဍကနေ စတင်သင့်သလဲ။","composer.remote.branchesSectionHeading":"အခွဲများ","composer.remote.currentEditsSuffix.followUp":"ဤ cloud အလုပ်တာဝန်ကို ရည်ညွှန်းသည့် အလုပ်တာဝန် အသစ်တစ်ခု ဖန်တီးပါ။","composer.remote.currentEditsSuffix.useLocal":"ဒေသခံကုဒ်ပြောင်းလဲမှုများနှင့်အတူ","composer.remote.directFollowUp":"ဒေသတွင်းပြောင်းလဲမှုများကို မသုံးပါနှင့်","composer.remote.errorLoadingBranches":"အခွဲများကို လုပ်ဆောင်ရာတွင် အမှားအယွင်းရှိနေသည်","composer.remote.fromBranch":"{branch} မှစပြီး","composer.remote.fromCurrentBranch":"{branch}မှ (လက်ရှိ)","composer.remote.loadingMoreBranches":"လုပ်ဆောင်နေသည်...","composer.remote.localFileStateHeading":"ဒေသတွင်းဖိုင်အခြေအနေ","composer.remote.localWorkingTree":"ဒေသတွင်း ပြောင်းလဲမှုများကို သုံးပါ","composer.remote.startingPoint":"ဒီအလုပ်တာဝန်က ဘယ်ကုဒ်ကနေစသင့်လဲ။","composer.reviewMode.branches.error":"အခွဲများကို ဖွင့်၍မရပါ","composer.reviewMode.branches.retry":"ထပ်မံကြိုးစားပါ","composer.reviewMode.gitRoot.error":"Git root ကို မတွေ့ပါ","composer.reviewMode.option.baseBranch.simple":"base branch နှင့် ပြန်လည်သုံးသပ်ပါ","composer.reviewMode.option.unstaged.simple":"commit မလုပ်ထားသော ပြောင်းလဲမှုများကို ပြန်လည်သုံးသပ်ပါ","composer.reviewMode.quickReviewError":"ကုဒ်ပြန်လည်သုံးသပ်ခြင်းကို စတင်၍မရပါ။","composer.reviewMode.title":"ကုဒ်စစ်ဆေးရန်","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml မှ အပြည့်အဝ ဝင်သုံးခွင့်ကို ပိတ်ထားသည်။","composer.sandboxButton.windowsSandboxDialog.content":"Codex သည် Windows တွင် စမ်းသပ် sandbox ကို အသုံးပြု၍ filesystem နှင့် network access ကို ကန့်သတ်နိုင်သည်။ {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows sandbox ကို ဖွင့်ထားပါသလား။","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"ဖတ်ရန် သီးသန့်သာ အသုံးပြုပါ","composer.searchEnvironments":"ပတ်ဝန်းကျင်ကို ရှာဖွေရန်","composer.skillMentionList.app":"အက်ပ်","composer.skillMentionList.appLogoAlt":"လိုဂို {name} ခု","composer.skillMentionList.loading":"ကျွမ်းကျင်မှုများကို လုပ်ဆောင်နေသည်...","composer.skillMentionList.noResults":"ကျွမ်းကျင်မှု မတွေ့ရှိပါ","composer.slashCommands.cloudEnvironment.title":"Cloud ပတ်ဝန်းကျင်","composer.slashCommands.dialogLabel":"Slash command မီနူး","composer.slashCommands.dialogTitle":"Slash command များ","composer.slashCommands.disabledTooltip":"Slash command များအသုံးပြုရန် စကားဝိုင်း အသစ်တစ်ခုစတင်ပါ","composer.slashCommands.inputPlaceholder":"ရှာဖွေရန်","composer.slashCommands.noResults":"commandများ မရှိပါ","composer.slashCommands.skillsGroup":"ကျွမ်းကျင်မှုများ","composer.slashCommands.tooltip":"Slash command များကို ကြည့်ရှုပါ","composer.status.close":"ပိတ်ရန်","composer.statusPlain.alertLabel":"သတိပေးချက်","composer.statusPlain.alertValue":"{window}အတွက် {remaining}% ကျန်သည်","composer.statusPlain.contextLabel":"ဆက်စပ်အကြောင်းအရာ-","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({total} ခုတွင် {used} ခုကို အသုံးပြုခဲ့သည်)","composer.statusPlain.contextValueRemaining":"{remaining}% ကျန်သေးသည်","composer.statusPlain.heading":"အခြေအနေ","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ကန့်သတ်ချက်-","composer.statusPlain.rateLimitDays":"{count}ရက် ကန့်သတ်ချက်","composer.statusPlain.rateLimitFallbackLabel":"နှုန်းကန့်သတ်ချက်-","composer.statusPlain.rateLimitHours":"{count}နာရီ ကန့်သတ်ချက်","composer.statusPlain.rateLimitLabelBase":"နှုန်းကန့်သတ်ချက်","composer.statusPlain.rateLimitMinutes":"{count}မိနစ် ကန့်သတ်ချက်","composer.statusPlain.rateLimitPercent":"{remaining}% ကျန်သေးသည်","composer.statusPlain.rateLimitReset":"{time} ပြန်လည်သတ်မှတ်မှုများ","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"ပြန်လည်သတ်မှတ်ချိန် မရနိုင်ပါ","composer.statusPlain.rateLimitUnavailable":"မရရှိိနိုင်ပါ","composer.statusPlain.sessionCopiedAriaLabel":"ကူးယူထားသော ဆက်ရှင် အိုင်ဒီ","composer.statusPlain.sessionCopiedTooltip":"ကူးယူထားသော အိုင်ဒီ","composer.statusPlain.sessionCopyAriaLabel":"ဆက်ရှင် အိုင်ဒီ ကူးယူရန်","composer.statusPlain.sessionCopyTooltip":"အိုင်ဒီ ကူးယူရန်","composer.statusPlain.sessionLabel":"ဆက်ရှင်-","composer.statusSlashCommand.description":"thread id၊ အကြောင်းအရာအသုံးပြုမှုနှင့် နှုန်းထားကန့်သတ်ချက်များကို ပြပါ","composer.statusSlashCommand.title":"အခြေအနေ","composer.submit.blockedDialogOk":"အိုကေ","composer.submit.blockedDialogTitle":"မက်ဆေ့ချ်ပို့၍ မရပါ","composer.submit.emptyMessage":"စတင်ရန် မက်ဆေ့ချ်တစ်ခု ရိုက်ထည့်ပါ","composer.submit.imageInputsUnsupported":"ဤမက်ဆေ့ချ်ကိုပေးပို့ရန် ရုပ်ပုံများကို ဖယ်ရှားပါ သို့မဟုတ် မော်ဒယ်များကို ပြောင်းလဲပါ။","composer.submit.loadingLocalConfig":"လုပ်ဆောင်နေသည်...","composer.submit.missingCloudConfig":"သင်သည် cloud ပတ်ဝန်းကျင်ကို ရွေးချယ်ရမည်","composer.submit.missingCloudTurn":"ဤအလုပ်တာဝန်ကို နောက်ဆက်တွဲလုပ်ဆောင်၍မရပါ","composer.submit.noWorkspace":"Codex ကိုအသုံးပြုရန် ပရောဂျက်တစ်ခုထည့်ပါ","composer.submit.waitForImageUploads":"ပုံများကို အပ်လုဒ်တင်နေသည်…","composer.submitButtonTooltip.send":"ပို့ရန်","composer.submitButtonTooltip.stop":"ရပ်ရန်","composer.worktreeEnvironment.create":"ဒေသတွင်း ပတ်ဝန်းကျင်ကို ဖန်တီးပါ","composer.worktreeEnvironment.default":"မူရင်း ပတ်ဝန်းကျင်","composer.worktreeEnvironment.error":"ပတ်ဝန်းကျင်ကို လုပ်ဆောင်ရာတွင် အမှားအယွင်းရှိသည်","composer.worktreeEnvironment.loading":"ပတ်ဝန်းကျင် လုပ်ဆောင်နေသည်...","composer.worktreeEnvironment.title":"ဒေသတွင်း ပတ်ဝန်းကျင်များ","composer.worktreeEnvironment.tooltip":"ဒေသတွင်း ပတ်ဝန်းကျင် တစ်ခုကို ရွေးချယ်ပါ","composer.worktreeSetupFailed":"Worktree စနစ်ထည့်သွင်းမှု မအောင်မြင်ပါ။ စနစ်ထည့်သွင်းမှု script အတွက် .codex/environments တွင် စစ်ဆေးပါ။","compoundButton.secondaryAction":"ဒုတိယလုပ်ဆောင်ချက်","copyButton.copied":"ကူးယူပြီးပါပြီ","copyButton.copiedAriaLabel":"ကူးယူပြီးပါပြီ","copyButton.copy":"ကူးယူရန်","copyButton.copyAriaLabel":"ကူးယူရန်","copyButton.copyCode":"ကုဒ်ကို ကူးယူပါ","diff.actionButton.revertFile":"ဖိုင်ကို မူလ အတိုင်းပြန်ပြောင်းရန်","diff.actionButton.revertHunk":"မူလ အတိုင်းပြန်ပြောင်းရန်","diff.actionButton.revertSection":"အားလုံးကို မူလအတိုင်းပြန်ပြောင်းရန်","diff.actionButton.revertSectionLabel":"အားလုံးကို မူလအတိုင်းပြန်ပြောင်းရန်","diff.actionButton.stageFile":"Stage ဖိုင်","diff.actionButton.stageHunk":"Stage","diff.actionButton.stageSection":"အားလုံးကို Stage လုပ်ပါ","diff.actionButton.stageSectionLabel":"အားလုံးကို Stage လုပ်ပါ","diff.actionButton.unstageFile":"Unstage ဖိုင်","diff.actionButton.unstageHunk":"Unstage","diff.actionButton.unstageSection":"အားလုံးကို Unstage လုပ်ပါ","diff.actionButton.unstageSectionLabel":"အားလုံးကို Unstage လုပ်ပါ","diff.fileHeader.toggle":"ဖိုင်ကွာခြားချက်ကို ပြောင်းပါ","electron.onboarding.login.apikey.cancel":"ပယ်ဖျက်ရန်","electron.onboarding.login.apikey.continue":"ဆက်ရန်","electron.onboarding.login.apikey.label":"OpenAI API သော့","electron.onboarding.login.apikey.open":"API သော့ ထည့်သွင်းရန်","electron.onboarding.login.apikey.placeholder":"‌sk-...","electron.onboarding.login.chatgpt.cancel":"အကောင့်ဝင်ခြင်းကို ပယ်ဖျက်ပါ","electron.onboarding.login.chatgpt.continue":"ChatGPT ဖြင့် ဆက်လုပ်ရန်","electron.onboarding.login.devbox":"အဝေးထိန်း SSH သို့ ချိတ်ဆက်ပါ","electron.onboarding.login.error":"အကောင့်ဝင်ခြင်း မအောင်မြင်ပါ-{rawMessage}","electron.onboarding.login.snake.start":"Snake ကစားပါ","electron.onboarding.login.sshConfig.cancel":"ပယ်ဖျက်ရန်","electron.onboarding.login.sshConfig.continue":"ဆက်ရန်","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"အေးဂျင့်တွေနဲ့ တည်ဆောက်ဖို့ အကောင်းဆုံးနည်းလမ်း","electron.onboarding.login.title":"Codex မှ ကြိုဆိုပါတယ်","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"ဆက်ရန်","electron.onboarding.welcome.doubleLimits.description":"Codex အက်ပ်စတင်မိတ်ဆက်ခြင်းအထိမ်းအမှတ်အနေဖြင့် ဧပြီလ 2 ရက်နေ့အထိ နှုန်းထားကန့်သတ်ချက် 2 ဆ ရှိပါသည်။","electron.onboarding.welcome.freego.description":"Codex ကို မတ်လ 2 ရက်နေ့အထိ သင်၏အစီအစဉ်တွင် အခမဲ့ထည့်သွင်းထားသည် - အတူတကွတည်ဆောက်ကြပါစို့။","electron.onboarding.welcome.new.title.anon":"ကြိုဆိုပါတယ်","electron.onboarding.workspace.continue":"ဆက်ရန်","electron.onboarding.workspace.empty":"ဆက်လက်လုပ်ဆောင်ရန် ပရောဂျက်တစ်ခုထည့်ပါ။","electron.onboarding.workspace.listLabel":"ရရှိနိုင်သော ပရောဂျက်များ","electron.onboarding.workspace.loading":"ပရောဂျက်များကို ဖွင့်နေသည်...","electron.onboarding.workspace.openFolder":"ပရောဂျက် ထည့်ရန်","electron.onboarding.workspace.selectAll":"အားလုံး ရွေးချယ်ရန်","electron.onboarding.workspace.skip":"ကျော်ရန်","electron.onboarding.workspace.skip.error":"ပရောဂျက်အသစ်တစ်ခု ဖန်တီး၍မရပါ- {message}","electron.onboarding.workspace.skip.error.unknown":"မသိရှိသော မှားယွင်းမှု","electron.onboarding.workspace.skipping":"ပရောဂျက်အသစ်တစ်ခု ဖန်တီးနေသည်…","electron.onboarding.workspace.subtitle":"Codex သည် ဖိုင်များကို တည်းဖြတ်နိုင်ပြီး ရွေးချယ်ထားသော ဖိုဒါများတွင် command များကို လုပ်ဆောင်နိုင်မည်ဖြစ်သည်။","electron.onboarding.workspace.title":"ပရောဂျက်တစ်ခုကို ရွေးချယ်ပါ","errorPage.list.checkSettings":"သင့် IDE ဆက်တင်များကို အပ်ဒိတ်လုပ်ကြည့်ပါ","errorPage.list.configToml":"မမှန်ကန်သော ဆက်တင်များ ရှိ၊မရှိ သင့် config.toml ကို စစ်ဆေးပါ","errorPage.list.downloadExtension":"အိတ်စတန်းရှင်း၏ အခြားဗားရှင်းကို ဒေါင်းလုဒ်လုပ်ကြည့်ပါ","errorPage.list.runInWsl":"လိုက်ဖက်ညီမှု ပြဿနာများ တွေ့ရှိပါက WSL တွင် လုပ်ဆောင်ခြင်းကို ပိတ်ရန် သင့်ဆက်တင်များကို စစ်ဆေးပါ","execApprovalRequest.menu.runAlways":"ဟုတ်ကဲ့၊ ဒီဆက်ရှင်ကို ထပ်မမေးပါနဲ့","execApprovalRequest.menu.runAlwaysWithAmendment":"ဟုတ်ကဲ့၊ {command} နဲ့စတဲ့ command တွေကို ထပ်မမေးပါနဲ့","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ဟုတ်ကဲ့၊ command တွေကို ထပ်မမေးပါနဲ့","execApprovalRequest.menu.runOnce":"ပြီးဆုံးပြီ","execApprovalRequest.prompt":"ဒီ command ကို run ချင်ပါသလား။","execApprovalRequest.reject":"မပြီးသေးပါ","execFooter.exitCode":"ထွက်ရန် ကုဒ် {code}","execFooter.exitCode.unknown":"အမည်မသိ","execFooter.success":"အောင်မြင်သည်","feedback.dialog.category.badResult":"ရလဒ်မကောင်း","feedback.dialog.category.bug":"ချို့ယွင်းချက်","feedback.dialog.category.goodResult":"ရလဒ်ကောင်း","feedback.dialog.category.other":"အခြား","feedback.dialog.category.safetyCheck":"ဘေးကင်းရေးစစ်ဆေးမှု","feedback.dialog.descriptionPlaceholder":"ပြဿနာကို ဤနေရာတွင် ဖော်ပြပါ။","feedback.dialog.dismiss":"ပယ်ဖြုတ်ရန်","feedback.dialog.includeLogsLabel":"လက်ရှိ Codex ဆက်ရှင် log များကို ထည့်သွင်းပါ။","feedback.dialog.submit":"ပေးပို့ရန်","feedback.dialog.submitError":"သင့်တုံ့ပြန်ချက်ကို ပေးပို့၍မရပါ။ နောက်မှ ပြန်လုပ်ဆောင်ပါ။","feedback.dialog.title":"အကြံပြုချက်","feedback.dialog.uploadedMessage.existingIssue":"လက်ရှိဖွင့်ထားသောပြဿနာ","feedback.dialog.uploadedMessage.openIssue":"GitHub ပြဿနာကို ဖွင့်ရန်","feedback.dialog.uploadedMessage.withThread":"တုံ့ပြန်ချက်ကို အပ်လုဒ်လုပ်ပြီးပါပြီ။ ပြဿနာဆက်ရှိနေပါက ကျေးဇူးပြု၍ {openIssueLink}သို့မဟုတ် thread id ကို {existingIssueLink}အောက်ပါတွင် ဖော်ပြပါ-","feedback.dialog.uploadedTitle":"အကြံပြုချက် အပ်လုဒ်တင်ခဲ့သည်","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} ဖယ်ရှားရန်","header.back":"နောက်သို့","header.recentChats":"အလုပ်တာဝန်များ","header.recentTasks.seeAll":"အားလုံး ကြည့်ရန် ({total})","home.header.getPlus":"Plus ကို ရယူလိုက်ပါ","home.hero.letsBuild":"တည်ဆောက်ကြရအောင်","homePage.mainContent":"ပင်မ အကြောင်းအရာ","imageAttachment.defaultName":"ရုပ်ပုံ","imageAttachment.preview.close":"ပုံအစမ်းကြည့်ရှုခြင်းကို ပိတ်ပါ","imageAttachment.removeAriaLabel":"{filename} ဖယ်ရှားရန်","implementPlanRequest.option.implement":"ဟုတ်ကဲ့၊ ဒီအစီအစဉ်ကို အကောင်အထည် ဖော်ပါ","implementPlanRequest.prompt":"ဒီအစီအစဉ်ကို အကောင်အထည်ဖော်မှာလား။","inbox.archived.deleteError":"စုစည်းသိမ်းဆည်းထားသော လုပ်ဆောင်မှုကို ဖျက်၍မရပါ","inbox.archived.deleteRun":"စုစည်းသိမ်းဆည်းထားသော လုပ်ဆောင်မှုကို ဖျက်ပါ","inbox.archived.deleteSuccess":"စုစည်းသိိမ်းဆည်းထားသော thread ကို ဖျက်လိုက်ပါပြီ။ <settingsLink>မော်ကွန်းတင်ထားသော thread များ</settingsLink> တွင် ကြည့်ရန်။","inbox.archived.inlineLabel.auto":"ဤ thread ကို အလိုအလျောက် စုစည်းသိမ်းဆည်းထားပါသည်။ <learnMoreLink>ပိုမိုလေ့လာရန်</learnMoreLink>","inbox.archived.inlineLabel.manual":"ဤ thread ကို စုစည်းသိမ်းဆည်းထားပါသည်။","inbox.archived.noMessageFound":"မက်ဆေ့ချ် မတွေ့ပါ","inbox.automations.createError":"အလိုအလျောက်စနစ် ဖန်တီး၍မရပါ","inbox.automations.deleteConfirm.cancel":"ပယ်ဖျက်ရန်","inbox.automations.deleteConfirm.confirm":"အလိုအလျောက်စနစ်ကို ဖျက်မည်လား။","inbox.automations.deleteConfirm.description":"အလိုအလျောက်လုပ်ဆောင်ခြင်းကို အပြီးအပိုင်ဖျက်ပစ်ပြီး အနာဂတ် လုပ်ဆောင်မှုများကို ရပ်တန့်စေပါမည်။","inbox.automations.deleteConfirm.title":"{name}ကို ဖျက်မလား။","inbox.automations.deleteError":"အလိုအလျောက်စနစ်ကို ဖျက်၍မရပါ","inbox.automations.editTooltip":"အလိုအလျောက်လုပ်ဆောင်ခြင်း တည်းဖြတ်ရန်","inbox.automations.inProgress":"လုပ်ဆောင်နေသည်","inbox.automations.new":"အသစ်","inbox.automations.newToolbar":"အလိုအလျောက်စနစ်အသစ်","inbox.automations.pauseTooltip":"အလိုအလျောက်လုပ်ဆောင်ခြင်းကို ခေတ္တရပ်ပါ","inbox.automations.resumeTooltip":"အလိုအလျောက်လုပ်ဆောင်ခြင်းကို ပြန်လည်စတင်ပါ","inbox.automations.startingNow":"ယခုစတင်နေပါပြီ","inbox.automations.startsIn":"{startTime}တွင် စတင်မည်","inbox.automations.status.active":"အသက်ဝင်နေသည်","inbox.automations.status.paused":"ရပ်ထားသည်","inbox.automations.status.runs":"{count} ကိုလုပ်ဆောင်နေသည်","inbox.automations.status.started":"{date} ကို စတင်ခဲ့သည် ","inbox.automations.updateError":"အလိုအလျောက်စနစ်ကို အပ်ဒိတ်လုပ်၍မရပါ","inbox.automations.workspaceFallback":"-","inbox.filter.all":"အားလုံး","inbox.filter.ariaLabel":"ဝင်စာပုံးကို စစ်ထုတ်ပါ","inbox.filter.unread":"မဖတ်ရသေးသော","inbox.list.archived":"စုစည်းသိမ်းဆည်းထားသည်","inbox.list.inProgress":"လုပ်ဆောင်နေသည်","inbox.list.recent":"ပြီးဆုံးပြီး","inbox.list.upNext":"စီစဉ်ထားသည်","inbox.mode.automations":"အလိုအလျောက်စနစ်များ","inbox.mode.automations.beta":"Beta","inbox.noDescription":"ဖော်ပြချက် မပေးထားပါ","inbox.openThread":"Thread ကို ဖွင့်ပါ","inbox.rightPanel.emptySubtitle":"အချိန်ဇယားဆွဲထားသော အလုပ်များကို စီစဉ်ခြင်းဖြင့် အလုပ်ကို အလိုအလျောက်လုပ်ဆောင်ပါ။","inbox.rightPanel.emptySubtitle.learnMore":"အချိန်ဇယားဆွဲထားသော အလုပ်များကို စီစဉ်ခြင်းဖြင့် အလုပ်ကို အလိုအလျောက်လုပ်ဆောင်ပါ <link>ပိုမိုသိရှိရန်</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {အသက်ဝင်သော အလိုအလျောက်စနစ် #ခု}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"မဖတ်ရသေးသော အလိုအလျောက်စနစ်များ မရှိပါ","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {မဖတ်ရသေးသော အလိုအလျောက်စနစ် # ခု}}","inbox.rightPanel.emptyTitle":"ရွေးချယ်ထားသည်များ မရှိပါ","inbox.rightPanel.noThread":"ဤပစ္စည်းအတွက် Thread မရှိပါ","inbox.rightPanel.quickStart.header":"ပုံစံပြား တစ်ခုဖြင့် စတင်ပါ","inbox.untitled":"ခေါင်းစဉ်မဲ့ ဝင်စာ","loadingPage.documentationLink":"စာရွက်စာတမ်း","loadingPage.errorDescription":"Codex သည် အောက်ပါအမှားဖြင့် ပျက်သွားသည်-","loadingPage.errorDescription.documentation":"Codex အိတ်စတန်းရှင်းကို ပြန်လည်စတင်ရန် reload ကို နှိပ်ပါ၊ သို့မဟုတ် နောက်ထပ် အကူအညီအတွက် {documentationLink} သို့ ဝင်ရောက်ကြည့်ရှုပါ။","loadingPage.errorSignal":"စမ်းကြည့်ရမည့် အချက်အချို့-","loadingPage.errorTitle":"အမှားတစ်ခု ဖြစ်ပွားခဲ့သည်","loadingPage.openConfigToml":"Config.toml ကိုဖွင့်ပါ","loadingPage.reload":"ပြန်လည် လုပ်ဆောင်ရန်","localConversation.contextCompacted":"နောက်ခံအကြောင်းအရာကို အလိုအလျောက် ကျစ်လစ်စေခဲ့သည်","localConversation.contextCompacting":"နောက်ခံ အကြောင်းအရာကို အလိုအလျောက် ကျစ်လစ်စေခြင်း","localConversation.finalAssistantMessageDivider":"နောက်ဆုံး မက်ဆေ့ချ်","localConversation.forkedFromConversation":"{threadTitle} မှ ခွဲထုတ်ထားသော","localConversation.merge.autoResolve.failed":"အလိုအလျောက်ဖြေရှင်းရန် တောင်းဆို၍မရပါ-{error}","localConversation.merge.autoResolve.sent":"အလိုအလျောက် ဖြေရှင်းရန် တောင်းဆိုချက် ပို့ပြီးပါပြီ","localConversation.merge.autoResolveMerge.missingConversation":"တက်ကြွသော စကားဝိုင်းမရှိဘဲ အလိုအလျောက် ဖြေရှင်း၍မရပါ။","localConversation.merge.autoResolveMerge.request":"ပေါင်းစည်းမှု ပဋိပက္ခများကို အလိုအလျောက် ဖြေရှင်းပါ","localConversation.modelChanged":"မော်ဒယ် {fromModel} ကနေ {toModel} ကို ပြောင်းလိုက်ပါပြီ။","localConversation.modelChanged.warning.line1":"စကားပြောဆိုနေစဉ် မော်ဒယ်များ ပြောင်းလဲခြင်းသည် စွမ်းဆောင်ရည်ကို ကျဆင်းစေပါသည်။","localConversation.modelChanged.warning.line2":"နောက်ခံ အခြေအနေသည် အလိုအလျောက် ကျစ်လျစ်သွားနိုင်သည်။","localConversation.modelRerouted":"သင့်တောင်းဆိုချက်ကို {toModel} သို့ ပေးပို့လိုက်ပါပြီ။","localConversation.modelRerouted.warning.line1":"ကြိုတင်အသိပေးချက်၊ ဆိုက်ဘာ အလွဲသုံးစားမှုအန္တရာယ်ကို လျှော့ချရန် သင့်တောင်းဆိုချက်ကို ပြန်လည်လမ်းကြောင်းပြောင်းထားပါသည်။","localConversation.modelRerouted.warning.line2":"ဒါက အမှားတစ်ခုလို့ ထင်ပါသလား။ စစ်ဆေးခိုင်းလိုပါက<link>chatgpt.com/cyber</link>သို့မဟုတ် /feedback မှတစ်ဆင့် သတင်းပို့ပါ","localConversation.moveThread.createBranch.label":"အခွဲ ဖန်တီးရန်","localConversation.moveToLocal.disabled.branchCheckedOut":"အခွဲသည် အခြား worktree တစ်ခုမှာ check out လုပ်ပြီးသားပါ။","localConversation.moveToLocal.disabled.loading":"လုပ်ဆောင်နေသည်...","localConversation.moveToLocal.disabled.missingSourceHead":"worktree HEAD commit ကို ဖြေရှင်း၍မရပါ","localConversation.moveToLocal.disabled.noWorkspace":"ဤ worktree အတွက် ဒေသတွင်း အလုပ်နေရာ ရှာမတွေ့ပါ","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"အခု ရွှေ့လို့မရပါဘူး။ ဒေသတွင်း အလုပ်နေရာ အခြေအနေကို စစ်ဆေးပြီး ထပ်မံကြိုးစားပါ။","localConversation.moveToLocal.error.rollbackIssues":"ပြန်လည်ရုပ်သိမ်းခြင်းဆိုင်ရာ ပြဿနာများ- {issues}","localConversation.moveToLocal.label":"ဒေသတွင်းသို့ ပြောင်းရွှေ့ပါ","localConversation.moveToLocal.loading.subtitle":"သင့်ရဲ့ worktree ပြောင်းလဲမှုတွေကို ဒေသတွင်းကို ရွှေ့နေပါတယ်…","localConversation.moveToLocal.loading.title":"ဒေသတွင်းသို့ပြောင်းရွှေ့ခြင်း","localConversation.moveToLocal.modal.continue":"ဆက်ရန်","localConversation.moveToLocal.modal.destinationLabel":"ရွှေ့ရန်","localConversation.moveToLocal.modal.retry":"ထပ်မံကြိုးစားပါ","localConversation.moveToLocal.modal.subtitle":"ဤ worktree branch နှင့် Commit မလုပ်ထားသော ပြောင်းလဲမှုများကို သင်၏ local checkout သို့ ပြန်လည်ရွှေ့ပါမည်။","localConversation.moveToLocal.modal.title":"ဒေသတွင်းသို့ ပြောင်းရွှေ့ပါ","localConversation.moveToWorktree.error.branchRequired":"Worktree ဌာနခွဲအမည် လိုအပ်ပါသည်","localConversation.moveToWorktree.error.createWorktree":"worktree ဖန်တီး၍မရပါ- {message}","localConversation.moveToWorktree.error.move":"worktree သို့ ရွှေ့၍မရပါ- {message}","localConversation.moveToWorktree.error.prepareBranch":"worktree branch “{branch}” ကို ပြင်ဆင်၍မရပါ- {message}","localConversation.moveToWorktree.error.rollbackIssues":"ပြန်လည်ရုပ်သိမ်းခြင်းဆိုင်ရာ ပြဿနာများ- {issues}","localConversation.moveToWorktree.error.unknown":"worktree သို့ ရွှေ့၍မရပါ။ ပြန်ကြိုးစားပါ။","localConversation.moveToWorktree.label":"အလုပ်သစ်ပင်သို့ ရွှေ့ပါ","localConversation.moveToWorktree.loading.subtitle":"သင့်ရဲ့ worktree ကို စနစ်ထည့်သွင်းပြီး ဒေသတွင်းပြောင်းလဲမှုများကို ရွှေ့ပြောင်းနေသည်…","localConversation.moveToWorktree.loading.title":"worktree သို့ပြောင်းရွှေ့ခြင်း","localConversation.moveToWorktree.modal.back":"နောက်သို့","localConversation.moveToWorktree.modal.branchAlreadyExists":"ဘဏ်ခွဲရှိပြီးသားပါ","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"အခွဲရှိပြီးသားပါ။","localConversation.moveToWorktree.modal.branchesError":"အခွဲများကို ဖွင့်၍မရပါ","localConversation.moveToWorktree.modal.branchesLoading":"အခွဲများကို တင်နေသည်…","localConversation.moveToWorktree.modal.branchesRetry":"ထပ်မံကြိုးစားပါ","localConversation.moveToWorktree.modal.continue":"ဆက်ရန်","localConversation.moveToWorktree.modal.defaultBranchError":"Worktree branch ဟာ default branch နဲ့ ကွဲပြားရပါမယ်။","localConversation.moveToWorktree.modal.localBranchLabel":"ဒေသခံဌာနခွဲ","localConversation.moveToWorktree.modal.localBranchPlaceholder":"ဒေသတွင်း ငွေရှင်းကောင်တာဌာနခွဲကို ရွေးချယ်ပါ","localConversation.moveToWorktree.modal.noTargetBranch":"အခြားဒေသခံဆိုင်ခွဲများ မရှိသေးပါ","localConversation.moveToWorktree.modal.retry":"ထပ်မံကြိုးစားပါ","localConversation.moveToWorktree.modal.subtitle":"ဒီ branch နဲ့ uncommitted changes အားလုံးကို worktree တစ်ခုဆီ ရွှေ့သွားပါလိမ့်မယ်။ အဲဒီနေရာမှာ ဒေသတွင်းက တခြား branch တစ်ခုကို check လုပ်ရပါမယ်။","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex က ဒီ thread အတွက် worktree အသစ်တစ်ခု ဖန်တီးပေးပါလိမ့်မယ်။","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"worktree branch အမည်ကို ရွေးချယ်ပါ။ Codex က default branch အစား ၎င်းကို အသုံးပြုပါလိမ့်မယ်။","localConversation.moveToWorktree.modal.subtitle.loading":"ရှိပြီးသား worktree ကို ရှာဖွေနေသည်…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"ဤဘဏ်ခွဲကို worktree သို့ ရွှေ့ပါမည်။ သင့်လက်ရှိဒေသခံဘဏ်ခွဲကို checkout လုပ်ထားပါမည်။","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex သည် ဤ thread အတွက် ရှိပြီးသား worktree ကို ပြန်လည်အသုံးပြုပါမည်။","localConversation.moveToWorktree.modal.title":"worktree သို့ ရွှေ့ပါ","localConversation.moveToWorktree.modal.trailingSlashError":"ဘဏ်ခွဲအမည်ကို “/” ဖြင့် မအဆုံးသတ်ရ","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Worktree အခွဲအမည်","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Worktree အခွဲ","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"အခွဲအသစ်","localConversation.personalityChanged":"ကိုယ်ရည်ကိုယ်သွေး {personality}  သို့ ပြောင်းလိုက်ပါပြီ","localConversation.planSummary.collapse":"အစီအစဉ် အကျဉ်းချုပ်ကို ခေါက်သိမ်းပါ","localConversation.planSummary.collapseTooltip":"ချုံ့ရန်","localConversation.planSummary.download":"အစီအစဉ်ကို ဒေါင်းလုဒ်လုပ်ပါ","localConversation.planSummary.expand":"အစီအစဉ် အကျဉ်းချုပ်ကို ချဲ့ထွင်ပါ","localConversation.planSummary.expandTooltip":"ချဲ့ရန်","localConversation.planSummary.openInNewWindow":"ဖွင့်ရန်","localConversation.planSummary.openInNewWindow.tooltip":"ဝင်းဒိုးအသစ်တွင် ဖွင့်ရန်","localConversation.planSummary.title":"အစီအစဉ်","localConversation.planSummary.titleWriting":"ရေးသားချက် အစီအစဉ်","localConversation.planSummary.viewPlan":"အစီအစဉ်ကို ချဲ့ထွင်ပါ","localConversation.previousMessagesSummary":"{count, plural, other {ယခင်မက်ဆေ့ချ် #စောင်}}","localConversation.remoteTaskCreated":"Codex Cloud တွင် {taskLink} ဖန်တီးထားသည်","localConversation.remoteTaskCreated.task":"အလုပ်တာဝန်","localConversation.scrollToBottomButton":"အောက်သို့ဆွဲပါ","localConversation.sync.buttonLabel":"ဒေသခံသို့ လွှဲပြောင်းပေးသည်","localConversation.sync.buttonLabel.tooltip":"ဤ worktree နှင့် သင့်ဒေသခံ checkout အကြား ပြောင်းလဲမှုများကို လွှဲပြောင်းပါ။","localConversation.sync.modal.loading.title":"ပြောင်းလဲမှုများကို လွှဲပြောင်းပေးနေသည်…","localConversation.sync.modal.noChanges":"အပြောင်းအလဲများ မရှိပါ","localConversation.syncSetup.branchAriaLabel":"အခွဲ နာမည်","localConversation.syncSetup.branchName":"အခွဲ နာမည်","localConversation.syncSetup.branchPlaceholder.existing":"ရှိပြီးသား အခွဲကို ရွေးချယ်ပါ","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ဘဏ်ခွဲများကို တင်နေသည်…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"စစ်ဆေးပြီးပါပြီ","localConversation.syncSetup.checkoutClean":"လက်ရှိ{branchName}တွင်","localConversation.syncSetup.checkoutDirty":"လက်ရှိတွင် {branchName} တွင် commit မလုပ်ထားသော ပြောင်းလဲမှုများ ပါရှိသည်","localConversation.syncSetup.checkoutError":"ဌာနခွဲကို စစ်ဆေး၍မရပါ- {message}","localConversation.syncSetup.checkoutLabel":"ဒေသတွင်းတွင် ယခုစစ်ဆေးပါ","localConversation.syncSetup.checkoutOnLocal":"ဒေသခံသို့ လွှဲပြောင်းပေးသည်","localConversation.syncSetup.checkoutPending":"ဒေသတွင်း အခြေအနေကို စစ်ဆေးနေသည်…","localConversation.syncSetup.checkoutUnavailable":"ဒေသတွင်း အလုပ်နေရာ မရနိုင်ပါ","localConversation.syncSetup.checkoutUnknown":"ဒေသတွင်း ဘဏ်ခွဲ မရနိုင်ပါ","localConversation.syncSetup.continue":"ဆက်ရန်","localConversation.syncSetup.createBranchError":"ဌာနခွဲကို လွှဲပြောင်းပေးသည် သတ်မှတ်၍မရပါ- {message}","localConversation.syncSetup.error":"တစ်ခုခု မှားယွင်းနေသည်- {message}","localConversation.syncSetup.error.workingTreeMissing":"worktree ကို snapshot လုပ်၍မရပါ။ ပြန်လည် hand off လုပ်ကြည့်ပါ။","localConversation.syncSetup.mode.ariaLabel":"ဘဏ်ခွဲ မုဒ်ကို ရွေးချယ်ပါ","localConversation.syncSetup.mode.existing":"ရှိပြီးသား ဘဏ်ခွဲ","localConversation.syncSetup.mode.new":"ဘဏ်ခွဲအသစ်","localConversation.syncSetup.noBranches":"ဘဏ်ခွဲများ မတွေ့ရှိပါ","localConversation.syncSetup.overwriteError":"အခွဲကို ဖန်တီးပြီးသော်လည်း အပြည့်အဝ hand off မလုပ်ရသေးပါ။ ဒေသတွင်းတွင် checkout မလုပ်မီ ကိုယ်တိုင် hand off လုပ်ပါ။","localConversation.syncSetup.setPrefix":"ရှေ့ဆက်သတ်မှတ်ပါ","localConversation.syncSetup.subtitle":"worktree ပြောင်းလဲမှုများကို ဒေသတွင်းတွင် စမ်းသပ်ပြီး တည်းဖြတ်ပါ။ <a>ပိုမိုလေ့လာရန်</a>","localConversation.syncSetup.success.checkedOut":"အခွဲကို ဖန်တီးပြီး ဒေသတွင်းတွင် check out လုပ်ပါ","localConversation.syncSetup.success.notCheckedOut":"အခွဲဖန်တီးပြီး","localConversation.syncSetup.title":"ဒေသတွင်း အခွဲသို့ hand off လုပ်ပါ","localConversation.syncWorktreeError.branchAriaLabel":"အခွဲ နာမည်","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Hand off လုပ်ရန် အခွဲတစ်ခုကို ရွေးချယ်ပြီးနောက် ပြောင်းလဲမှုများကို ပြန်လည် လုပ်ဆောင်ကြည့်ပါ။","localConversation.syncWorktreeError.branchSetup.title":"အခွဲ အပ်ဒိတ်လုပ်ပါ","localConversation.syncWorktreeError.branchUpdate.cta":"အပ်ဒိတ်လုပ်ပြီး ပြန်ကြိုးစားပါ","localConversation.syncWorktreeError.branchUpdate.error":"အခွဲကို အပ်ဒိတ်လုပ်၍မရပါ- {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"တစ်ခုခု မှားယွင်းနေသည်- {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"worktree တွင် အခွဲကို check out မလုပ်ရသေးပါ။","localConversation.syncWorktreeV2.applyUncommitted":"ကျင့်သုံးရန်","localConversation.syncWorktreeV2.applyUncommitted.disabled":"commit မလုပ်ထားသော ပြောင်းလဲမှုများကို အသုံးချရန် အခွဲကို ဒေသတွင်းတွင် check out လုပ်ရမည်","localConversation.syncWorktreeV2.branches.empty":"ဘဏ်ခွဲများ မတွေ့ရှိပါ","localConversation.syncWorktreeV2.branches.loading":"ဘဏ်ခွဲများကို တင်နေသည်…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"handoff အခွဲကို ပြောင်းပါ","localConversation.syncWorktreeV2.changeBranch.error":"handoff အခွဲကို ပြောင်းရန် မအောင်မြင်ပါ- {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Apply မအောင်မြင်ပါ","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"worktree ကို overwrite မအောင်မြင်ပါ","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ဒေသတွင်း ထပ်ရေးခြင်း မအောင်မြင်ပါ","localConversation.syncWorktreeV2.commandError.back":"နောက်သို့","localConversation.syncWorktreeV2.commandError.body":"handoff လုပ်နေစဉ် git command မအောင်မြင်ပါ။ output ကို ပြန်လည်သုံးသပ်ပြီး ပြန်ကြိုးစားပါ။","localConversation.syncWorktreeV2.commandError.retry":"ထပ်မံကြိုးစားပါ","localConversation.syncWorktreeV2.description":"local နှင့် ဤ worktree အကြား Handoff ပြောင်းလဲမှုများ <a>ပိုမိုလေ့လာပါ</a>။","localConversation.syncWorktreeV2.direction.ariaLabel":"Handoff ဦးတည်ရာကို ရွေးချယ်ပါ","localConversation.syncWorktreeV2.error.generic":"handoff လုပ်နေစဉ် တစ်စုံတစ်ခု မှားယွင်းသွားပါသည်။ ထပ်လုပ်ဆောင်ကြည့်ပါ။","localConversation.syncWorktreeV2.localBranchLabel":"ဒေသတွင်း","localConversation.syncWorktreeV2.noChanges":"ပြောင်းလဲမှုများကို တွက်ချက်နေသည်","localConversation.syncWorktreeV2.noChanges.summary":"အပြောင်းအလဲများ မရှိပါ","localConversation.syncWorktreeV2.overwrite.local":"ဒေသတွင်းကို အစားထိုးရေးပါ","localConversation.syncWorktreeV2.overwrite.worktree":"worktree ကို အစားထိုးရေးပါ","localConversation.syncWorktreeV2.partial.action.applyFailed":"ပြောင်းလဲမှုများကို အသုံးချ၍မရပါ","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ဒေသတွင်းပြောင်းလဲမှုများကို အစားထိုး၍မရပါ","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"worktree ပြောင်းလဲမှုများကို အစားထိုး၍မရပါ","localConversation.syncWorktreeV2.partial.appliedLabel":"လျှောက်ထားသည်","localConversation.syncWorktreeV2.partial.back":"နောက်သို့","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"ပဋိပက္ခများကို ဖြေရှင်းပြီး ထပ်လုပ်ဆောင်ကြည့်ပါ။","localConversation.syncWorktreeV2.partial.conflictsLabel":"ပဋိပက္ခများ","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# ဖိုင်}}","localConversation.syncWorktreeV2.partial.retry":"ထပ်မံကြိုးစားပါ","localConversation.syncWorktreeV2.partial.skippedLabel":"ကျော်ခဲ့သည်","localConversation.syncWorktreeV2.stateFailed.generic":"hand off လုပ်ရန် worktree ပြောင်းလဲမှုများကို ရယူနေစဉ် တစ်စုံတစ်ခု မှားယွင်းသွားပါသည်။ ထပ်လုပ်ဆောင်ကြည့်ပါ။","localConversation.syncWorktreeV2.stateFailed.title":"worktree ပြောင်းလဲမှုများကို တင်၍မရပါ","localConversation.syncWorktreeV2.statusError.diffUnknown":"worktree ပြောင်းလဲမှုများကို တင်၍မရပါ။","localConversation.syncWorktreeV2.statusError.retry":"ထပ်မံကြိုးစားပါ","localConversation.syncWorktreeV2.statusError.title":"ဒေသတွင်း အခွဲပြောင်းလဲမှုများကို load လုပ်၍မရပါ","localConversation.syncWorktreeV2.statusError.unknown":"အခွဲ အခြေအနေကို ယခုရရှိနိုင်ခြင်းမရှိပါ။ ထပ်လုပ်ဆောင်ကြည့်ပါ။","localConversation.syncWorktreeV2.success.apply":"ပြောင်းလဲမှုများကို အောင်မြင်စွာ အသုံးချပြီးပါပြီ","localConversation.syncWorktreeV2.success.overwrite":"Handoff အောင်မြင်ပါသည်","localConversation.syncWorktreeV2.title":"Handoff ပြောင်းလဲမှုများ","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"{count, plural, other {မေးခွန်းများ}} ကို မေးနေသည်","localConversation.userInputRequest.noAnswer":"အဖြေမပေးထားပါ","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"မေးခဲ့သည်","localConversation.userInputRequest.summary.count":"{count, plural, other {မေးခွန်း # ခု}}","localConversation.workedFor":"{time} အတွက် အလုပ်လုပ်ခဲ့သည်","localConversation.worktreeBranchSetup.action.create":"ဖန်တီးရန်","localConversation.worktreeBranchSetup.branchAriaLabel":"အခွဲ နာမည်","localConversation.worktreeBranchSetup.branchPlaceholder.new":"အခွဲအသစ်တစ်ခုဖန်တီးရန်","localConversation.worktreeBranchSetup.checkoutDisabled":"ဤ အခွဲကို {location} တွင် check out လုပ်ပြီးသားဖြစ်သည်။","localConversation.worktreeBranchSetup.checkoutError":"ဌာနခွဲကို စစ်ဆေး၍မရပါ- {message}","localConversation.worktreeBranchSetup.createBranchError":"အခွဲသတ်မှတ်၍မရပါ- {message}","localConversation.worktreeBranchSetup.error":"တစ်ခုခု မှားယွင်းနေသည်- {message}","localConversation.worktreeBranchSetup.subtitle":"ဤ worktree မှ ပြောင်းလဲမှုများကို commit လုပ်ရန်၊ push လုပ်ရန်နှင့် PR တစ်ခု ဖန်တီးရန် branch တစ်ခု ဖန်တီးပါ။ <a>ပိုမိုလေ့လာရန်</a>","localConversation.worktreeBranchSetup.title":"ဤနေရာတွင် အလုပ်လုပ်ပါ","localConversationPage.addWorktreeToSidebar.tooltip":"ဒီ worktree ကနေ thread အသစ်တွေကို စတင်နိုင်အောင် ပရောဂျက် အနေနဲ့ သိမ်းဆည်းပါ","localConversationPage.addWorktreeToSidebarError":"ပရောဂျက် ထည့်လို့ မရပါဘူး","localConversationPage.commitAndCreatePrModal.errorTitle":"PR ကို ကတိပြုပြီး ဖန်တီးခြင်း မအောင်မြင်ပါ","localConversationPage.commitAndCreatePrModal.successTitle":"Commit လုပ်ထားသော PR","localConversationPage.commitAndPushModal.errorTitle":"ကတိပြုပြီး တွန်းပို့ခြင်း မအောင်မြင်ပါ","localConversationPage.commitAndPushModal.successTitle":"ကတိကဝတ်ပြုပြီး တွန်းအားပေးသော ပြောင်းလဲမှုများ","localConversationPage.commitCreatePr.open":"Pull request ကို ဖွင့်ရန်","localConversationPage.commitCreatePr.successTitle":"နောက်ဆုံးပြောင်းလဲမှုတွေနဲ့ PR ကို ဖန်တီးထားပါတယ်","localConversationPage.createBranchButtonLabel":"ဤနေရာတွင် ခွဲထုတ်ပါ","localConversationPage.createPrModal.baseBranch":"ဘေ့စ်","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR ကိုဖန်တီးရန်","localConversationPage.createPrModal.createDescription":"သင့်ရဲ့ နောက်ဆုံးပြောင်းလဲမှုတွေအတွက် ကုဒ်ဆွဲယူရန် တောင်းဆိုမှု တစ်ခုကို ဖွင့်ပါ။","localConversationPage.createPrModal.errorTitle":"ကုဒ်ဆွဲယူရန် တောင်းဆိုမှု မအောင်မြင်ပါ","localConversationPage.createPrModal.headBranch":"ခေါင်း","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR ဖွင့်ရန်","localConversationPage.createPrModal.successTitle":"ကုဒ်ဆွဲယူတောင်းဆိုချက် ဖန်တီးခဲ့သည်","localConversationPage.createPrModal.title":"ကုဒ်ဆွဲယူရန် တောင်းဆိုမှုကို ဖန်တီးရန်","localConversationPage.createPrModal.viewDescription":"ဒီအခွဲ အတွက် ကုဒ်ဆွဲယူ တောင်းဆိုချက် တစ်ခု ရှိပြီးသားပါ။","localConversationPage.createPrModal.viewTitle":"ကုဒ်ဆွဲယူ တောင်းဆိုချက်အသင့်ဖြစ်ပါပြီ","localConversationPage.createPullRequestAuthGh":"GitHub CLI ကို စစ်ဆေးအတည်ပြုပါ - `gh auth login` ကို run ပါ","localConversationPage.createPullRequestBranchMissing":"အခွဲအချက်အလက် မရရှိနိုင်ပါ","localConversationPage.createPullRequestButtonLabel":"PR ကိုဖန်တီးရန်","localConversationPage.createPullRequestButtonLabel.loading":"PR ကိုဖန်တီးနေသည်...","localConversationPage.createPullRequestDefaultBranchMissing":"မူလ အခွဲ အချက်အလက် မရရှိနိုင်ပါ","localConversationPage.createPullRequestError":"ကုဒ်ဆွဲယူတောင်းဆိုချက်ဖန်တီး၍မရပါ","localConversationPage.createPullRequestExistingPullRequest":"ဒီအခွဲ အတွက် ကုဒ်ဆွဲယူ တောင်းဆိုချက် တစ်ခု ရှိပြီးသားပါ","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI အခြေအနေကို လုပ်ဆောင်နေသည်...","localConversationPage.createPullRequestInstallGh":"PR များကို ဖန်တီးရန် GitHub CLI (gh) ကို ထည့်ပါ","localConversationPage.createPullRequestNoRepo":"Git repository ရှာမတွေ့ပါ","localConversationPage.createPullRequestPushStatusMissing":"Push လုပ်ဆောင်မှု အခြေအနေကို တင်နေသည်...","localConversationPage.createPullRequestSetUpstream":"PR မဖန်တီးမီ ဤအခွဲကို Push လုပ်ပါ","localConversationPage.createPullRequestSuccessToast":"ကုဒ်ဆွဲယူတောင်းဆိုချက် ဖန်တီးခဲ့သည်","localConversationPage.createPullRequestSwitchBranch":"PR မဖန်တီးမီ လုပ်ဆောင်ချက်အခွဲကို စစ်ဆေးကြည့်ပါ","localConversationPage.error.render":"ဒေသခံ စကား၀ိုင်းကို ပုံဖော်ရာတွင် မှားယွင်းမှု","localConversationPage.error.toast":"စကားဝိုင်းကို ရှာမတွေ့ပါ","localConversationPage.forcePushError":"Push ကို ဇွတ်အတင်းတင်ရန် မအောင်မြင်ခဲ့","localConversationPage.generatePullRequestMessageError":"ကုဒ်ပူးတွဲ တောင်းဆိုမှု ခေါင်းစဉ်နှင့် စာကိုယ်ကို ထုတ်လုပ်၍မရပါ","localConversationPage.generatePullRequestMessageFailed":"ကုဒ်ပူးတွဲ တောင်းဆိုမှု ခေါင်းစဉ်နှင့် စာကိုယ်ကို ထုတ်လုပ်၍မရပါ။","localConversationPage.gitActionResult.branch":"အခွဲ","localConversationPage.gitActionResult.cancel":"ပယ်ဖျက်ရန်","localConversationPage.gitActionResult.close":"ပိတ်ရန်","localConversationPage.gitActionResult.tryAgain":"ထပ်မံလုပ်ဆောင်ကြည့်ပါ","localConversationPage.gitActions":"Git လုပ်ဆောင်မှုများ","localConversationPage.newChat":"ချတ်အသစ်","localConversationPage.openInTarget":"တွင်ဖွင့်သည်","localConversationPage.openPrimaryTarget":"ဖွင့်ရန်","localConversationPage.planItemsCompleted":"{completedItems} တွင် {totalItems, plural, other {# အလုပ်တာဝန် ပြီးပါပြီ}}","localConversationPage.pushAuthError":"Push မအောင်မြင်ပါ- အထောက်အထားစိစစ်ရန် လိုအပ်ပါသည်","localConversationPage.pushBranchMissing":"အခွဲအချက်အလက် မရရှိနိုင်ပါ","localConversationPage.pushButtonLabel":"ချက်ချင်းရနိုင်သော","localConversationPage.pushButtonLabel.loading":"တွန်းနေသည်...","localConversationPage.pushError":"အပြောင်းအလဲများကို တွန်းပို့ရန် ပျက်ကွက်ခဲ့သည်","localConversationPage.pushModal.branchLabel":"အခွဲ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"ပယ်ဖျက်ရန်","localConversationPage.pushModal.confirm":"ချက်ချင်းရနိုင်သော","localConversationPage.pushModal.description":"သင့်ရဲ့ နောက်ဆုံး commit တွေကို အဝေးထိန်းကုဒ်သိမ်းဆည်းမှုကို push လုပ်ပါ။","localConversationPage.pushModal.errorTitle":"Push ကို တင်ရန် မအောင်မြင်ခဲ့","localConversationPage.pushModal.forcePush":"Push ကို ဇွတ်အတင်းတင်ခြင်း","localConversationPage.pushModal.successTitle":"Push ကို တင်၍ပြီးပါပြီ","localConversationPage.pushModal.title":"Push အပြောင်းအလဲများ","localConversationPage.pushModal.tryAgain":"ထပ်မံလုပ်ဆောင်ကြည့်ပါ","localConversationPage.pushNoUpstream":"ဤအခွဲကို တွန်းပို့ခြင်း မပြုမီ အပ်စထရင်းတစ်ခု သတ်မှတ်ပါ","localConversationPage.pushNoUpstreamError":"Push မအောင်မြင်ပါ- upstream ကို ပြင်ဆင်ထားခြင်း မရှိပါ","localConversationPage.pushNothingToPush":"တွန်းပို့ရန် ကွန်မစ်အသစ် မရှိပါ","localConversationPage.pushRemoteChangedError":"Push မအောင်မြင်ပါ- remote တွင် commit အသစ်များရှိသည်","localConversationPage.pushRemoteRejectedError":"အဝေးထိန်းစနစ်ဖြင့် Push ကို ငြင်းပယ်ခဲ့သည်","localConversationPage.pushStatusMissing":"Push လုပ်ဆောင်မှု အခြေအနေကို တင်နေသည်...","localConversationPage.pushSuccessToast":"တွန်းအားပေးထားသော ပြောင်းလဲမှုများ","localConversationPage.viewPullRequestButtonLabel":"PR ကြည့်ရန်","localConversationPage.viewPullRequestButtonLabel.loading":"pull request ကို လုပ်ဆောင်နေသည်…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# ဖိုင်}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {စာရင်း # ခု}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {ရှာဖွေမှု # ခု}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"စူးစမ်းလေ့လာခြင်း","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"စူးစမ်းလေ့လာခဲ့သည်","localConversationTurn.exploration.accordion.header.complete.withCounts":"စူးစမ်းလေ့လာခဲ့သည် {counts}","localConversationTurnStory.showContent":"အကြောင်းအရာပြပါ","localConversationTurnStory.streamContent":"အကြောင်းအရာကို Stream လုပ်ပါ","localConversationTurnStory.toggleReasoning":"အကြောင်းပြချက်ပြပါ","localTaskRow.archiveError":"စကားဝိုင်းကို စုစည်းသိမ်းဆည်း၍ မရပါ","localTaskRow.resumeError":"လုပ်ငန်းကို ပြန်လည်စတင်၍မရပါ","mermaidDiagram.ariaLabel":"Mermaid diagram","mermaidDiagram.copySource":"mermaid ကို ကူးယူပါ","mermaidDiagram.originalCode":"Mermaid မူရင်းကုဒ်","notifications.permissions.description":"အကြောင်းကြားစာ ခွင့်ပြုချက်များ လိုအပ်သည့်အခါ သတိပေးချက်များကို ပြသပါ","notifications.permissions.label":"ခွင့်ပြုချက်အကြောင်းကြားချက်များကို ဖွင့်ပါ","notifications.turnMode.always":"အမြဲတမ်း","notifications.turnMode.description":"Codex က ပြီးဆုံးသွားပြီဆိုတာ သတိပေးတဲ့အခါ သတ်မှတ်ပါ","notifications.turnMode.label":"လှည့်ခြင်းပြီးစီးမှု အကြောင်းကြားစာများ","notifications.turnMode.off":"ဘယ်တော့မှ","notifications.turnMode.unfocused":"အာရုံမစိုက်တဲ့အခါမှသာ","patchApprovalRequest.approve":"ခွင့်ပြုရန်","patchApprovalRequest.menu.allowAlways":"ဟုတ်ကဲ့၊ ဒီဆက်ရှင်ကို ထပ်မမေးပါနဲ့","patchApprovalRequest.menu.allowForSession":"ဟုတ်ကဲ့၊ ဒီဆက်ရှင်မှာ ထပ်မမေးပါနဲ့။","patchApprovalRequest.menu.allowOnce":"ပြီးဆုံးပြီ","patchApprovalRequest.prompt":"ဒီပြောင်းလဲမှုတွေကို လုပ်ချင်ပါသလား။","patchApprovalRequest.reject":"မပြီးသေးပါ","patchApprovalRequest.waitingForApproval":"ဖိုင်များကို တည်းဖြတ်ရန် ခွင့်ပြုချက်ကို စောင့်ဆိုင်းနေပါသည်","pendingRequest.approvalExec.collapse":"ချုံ့ရန်","pendingRequest.approvalExec.expand":"ချဲ့ရန်","pendingRequestStory.toastAnswer":"အဖြေ - {answer}","pendingRequestStory.toastApprovalTitle":"ခွင့်ပြုချက်တုံ့ပြန်မှု","pendingRequestStory.toastFollowupPrompt":"တုံ့ပြန်ညွှန်ကြားချက်- {prompt}","pendingRequestStory.toastFollowupTitle":"နောက်ဆက်တွဲ ပေးပို့ပြီးပါပြီ","pendingRequestStory.toastNoAnswers":"အဖြေများ မပေးထားပါ","pendingRequestStory.toastQuestion":"အမေး - {question}","pendingRequestStory.toastUnknownDecision":"အမည်မသိ","pendingRequestStory.toastUserInputTitle":"တင်သွင်းထားသော အဖြေများ","quickAction.request.codeReview.branches.new":"ကျေးဇူးပြု၍ {from} နှင့် {to} တွင် ပြောင်းလဲမှုများကို ပြန်လည်သုံးသပ်ပါ","quickAction.request.codeReview.uncommitted.new":"commit မလုပ်ရသေးသော ပြောင်းလဲမှုများကို ပြန်လည်သုံးသပ်ပါ","reasoningItem.thinking":"စဉ်းစားနေပါတယ်","reasoningItem.thought":"တွေးရန်","reasoningItem.thoughtWithElapsed":"{elapsed} အတွင်း အတွေး","recentConversations.title":"လတ်တလော စကားဝိုင်းများ မရှိပါ","recentTasks.worktreeInitFailedTitle":"Worktree စတင်ခြင်း မအောင်မြင်ပါ","recentTasks.worktreeSettingUpTitle":"worktree စနစ်ထည့်သွင်းခြင်း","requestInputPanel.continue":"ဆက်ရန်","requestInputPanel.dismiss":"ပယ်ဖြုတ်ရန်","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ဒီမှာ စာရိုက်ပါ","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"မဟုတ်ဘူး၊ ပြီးတော့ Codex ကို ဘာလုပ်ရမလဲဆိုတာ ပြောပြပါ","requestInputPanel.selectedBadge":"ရွေးထားသော","requestInputPanel.skip":"ကျော်ရန်","requestInputPanel.submit":"ပေးပို့ရန်","review.commit.ariaLabel.includeUnstaged":"unstaged ပါဝင်သည်","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commit လုပ်နေသည်...","review.commit.disabled.loadingDiff":"ကွဲပြားမှုကို လုပ်ဆောင်နေသည်…","review.commit.disabled.missingContext":"commit မက်ဆေ့ချ်ထုတ်လုပ်ရန် ဆက်စပ် အကြောင်းအရာအချို့ထည့်ပါ","review.commit.disabled.noChanges":"Commit ပြောင်းလဲမှုများ မရှိပါ","review.commit.disabled.noSelection":"Commit ပြောင်းလဲမှုများကို ရွေးချယ်ပါ","review.commit.disabled.unavailable":"Commit ကို ယခု ရရှိနိုင်မည် မဟုတ်ပါ","review.commit.error":"ပြောင်းလဲမှုများကို commit လုပ်ရန် မအောင်မြင်ခဲ့ပါ","review.commit.form.changesToBeCommitted":"အပြောင်းအလဲများ","review.commit.form.commitTo":"အခွဲ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"ဆက်ရန်","review.commit.form.title":"သင့်ရဲ့ပြောင်းလဲမှုတွေကို Commit လုပ်လိုက်ပါ","review.commit.generate.emptyResponse":"commit မက်ဆေ့ချ်ထုတ်လုပ်၍မရပါ။","review.commit.generate.failed":"commit မက်ဆေ့ချ်ထုတ်လုပ်ရန် မအောင်မြင်ပါ- {error}","review.commit.generate.missingPrompt":"commit မက်ဆေ့ချ်ထုတ်လုပ်ရန် အကြောင်းအရာအချို့ထည့်ပါ။","review.commit.includeUnstaged":"unstaged ပါဝင်သည်","review.commit.loading.description":"ခဏစောင့်ပါ၊ ဒါက အချိန်အနည်းငယ် ကြာနိုင်ပါတယ်","review.commit.loading.step.commit.done":"commit မလုပ်ထားသော ပြောင်းလဲမှုများ","review.commit.loading.step.commit.pending":"အပြောင်းအလဲများ ပြုလုပ်နေသည်","review.commit.loading.step.createPr.done":"ကုဒ်ဆွဲယူရန် တောင်းဆိုမှုတစ်ခု ဖန်တီးခဲ့ပါတယ်","review.commit.loading.step.createPr.pending":"ကုဒ်ဆွဲယူရန် တောင်းဆိုမှုတစ်ခု ဖန်တီးခြင်း","review.commit.loading.step.push.done":"အခွဲ {branch}သို့ တွန်းပို့ခဲ့သည်","review.commit.loading.step.push.pending":"အခွဲ {branch}သို့ တွန်းပို့နေသည်","review.commit.loading.title.commit":"အပြောင်းအလဲများ ပြုလုပ်နေသည်","review.commit.loading.title.createPr":"PR တစ်ခု ဖန်တီးခြင်း","review.commit.loading.title.push":"ပြောင်းလဲမှုများကို တွန်းပို့နေသည်","review.commit.messageLabel":"Commit မက်ဆေ့ချ်","review.commit.messagePlaceholder":"commit message ကို အလိုအလျောက်ထုတ်ဖို့အတွက် ဗလာထားခဲ့ပါ","review.commit.nextSteps":"နောက်အဆင့်များ","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit လုပ်ပြီး PR ဖန်တီးပါ","review.commit.nextSteps.commitAndPush":"Commit လုပ်ပြီး တွန်းပို့ရန်","review.commit.nextSteps.prRequiresGh":"GitHub CLI လိုအပ်သည်- {command}","review.commit.rows.changes":"အပြောင်းအလဲများ","review.commit.rows.commitCount":"{count, plural, other {Commit #ခု}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {commit # ခု}} နှင့် {stats}","review.commit.rows.fileCount":"{count, plural, other {# ဖိုင်}}","review.commit.state.error.body":"commit လုပ်နေစဉ် တစ်စုံတစ်ခု မှားယွင်းသွားပါသည်။ သင့် git status ကို စစ်ဆေးပြီး ထပ်လုပ်ဆောင်ကြည့်ပါ။","review.commit.state.error.title":"Commit မအောင်မြင်ပါ","review.commit.state.success.title":"အပြောင်းအလဲများ Commit ခဲ့သည်","review.commit.untracked.loadingStats":"ခြေရာမခံရသေးသော ကွဲပြားမှု စာရင်းများကို လုပ်ဆောင်နေသည်…","reviewFindingAttachments.count":"{count, plural, other {# တွေ့ရှိချက်များ}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"အေးဂျင့်အပြုအမူကို စိတ်ကြိုက်ပြင်ဆင်ရန် သင့် ပုံပန်းသဏ္ဌာန်ကို တည်းဖြတ်ပါ","settings.agent.configuration.configToml.docs":"စာရွက်စာတမ်းများ","settings.agent.configuration.configToml.restartNote":"ပြောင်းလဲမှုများကို ကျင့်သုံးရန် တည်းဖြတ် ပြီးနောက် Codex ပြန်စတင်ပါ","settings.agent.configuration.subtitle":"ဤဆက်တင်များသည် Codex သုံးသည့်နေရာတိုင်းနှင့် သက်ဆိုင်သည်","settings.automations.banner.danger":"အလိုအလျောက်လုပ်ဆောင်မှုများသည် သင်၏ ပုံသေ sandbox ဆက်တင်များဖြင့် လုပ်ဆောင်ပြီး လက်ရှိတွင် အပြည့်အ၀ ဝင်သုံးခွင့်သို့ သတ်မှတ်ထားသည်။ အပြည့်အ၀ ဝင်သုံးခွင့်ဖြင့် နောက်ခံ အလိုအလျောက်စနစ်များကို လုပ်ဆောင်ခြင်းသည် Codex သည် ဖိုင်များကို ပြုပြင်မွမ်းမံခြင်း၊ command များကို လုပ်ဆောင်ခြင်းနှင့် ကွန်ယက်ကို ဝင်ရောက်ခြင်းတို့ကို မတောင်းဆိုဘဲ ပြုလုပ်နိုင်သောကြောင့် အန္တရာယ်မြင့်မားသည်။ sandbox ဆက်တင်များကို အလုပ်နေရာ ရေးသားခြင်းသို့ အက်ပ်ဒိတ် လုပ်ခြင်းနှင့် အေးဂျင့် သည် အပြည့်အ၀ ဝင်သုံးခွင့်ဖြင့် လုပ်ဆောင်နိုင်သည့် command များကို ရွေးချယ်သတ်မှတ်ရန် <rulesDocsLink>စည်းကမ်းများ</rulesDocsLink> ကို သုံးဖို့ စဉ်းစားပါ။","settings.automations.banner.defaultHowTo.default":"အလိုအလျောက်လုပ်ဆောင်မှုများသည် သင်၏ ပုံသေ sandbox ဆက်တင်များဖြင့် လုပ်ဆောင်သည်။ အလုပ်နေရာ ပြင်ပရှိ ဖိုင်များကို ပြုပြင်မွမ်းမံခြင်း၊ ကွန်ယက်ကို ဝင်ရောက်ခြင်း သို့မဟုတ် သင်၏ကွန်ပျူတာရှိ app များနှင့် အလုပ်လုပ်ခြင်း လိုအပ်ပါက ကိရိယာ ခေါ်ဆိုမှုများ မအောင်မြင်ပါ။ <rulesDocsLink>စည်းမျဉ်း</rulesDocsLink> ကို အသုံးပြု၍ sandbox ပြင်ပတွင် လုပ်ဆောင်ရန် ခွင့်ပြုစာရင်း command များကို ရွေးချယ်နိုင်သည်။","settings.automations.banner.defaultHowTo.readOnly":"အလိုအလျောက်စနစ်များသည် သင်၏ မူရင်း sandbox ဆက်တင်များဖြင့် လည်ပတ်ပြီး ၎င်းတို့ကို ဖတ်ရန်သီးသန့်သာ အဖြစ် သတ်မှတ်ထားသည်။ ဖိုင်များကို ပြုပြင်ခြင်း၊ ကွန်ရက်သို့ ဝင်ရောက်ခြင်း သို့မဟုတ် သင့်ကွန်ပျူတာရှိ အက်ပ်များနှင့် အလုပ်လုပ်ရန် လိုအပ်ပါက Tool ခေါ်ဆိုမှုများ မအောင်မြင်ပါ။ workspace ရေးသားရန် sandbox ဆက်တင်များကို အပ်ဒိတ်လုပ်ရန် စဉ်းစားပါ။","settings.automations.cancel":"ပယ်ဖျက်ရန်","settings.automations.create":"ဖန်တီးရန်","settings.automations.cwdEmpty":"ပရောဂျက်ဖိုင်တွဲများ မရှိပါ","settings.automations.cwdLabel":"စီမံကိန်းများ","settings.automations.cwdPlaceholder":"ဖိုဒါတစ်ခု ရွေးချယ်ပါ","settings.automations.cwdSubtitle":"သင်သည် သတ်မှတ်ထားသော အခွဲတွင် automation တစ်ခုကို လုပ်ဆောင်စေလိုပါက သင်၏ တုံ့ပြန်ညွှန်ကြားချက် တွင် သတ်မှတ်နိုင်သည်။","settings.automations.delete":"ဖျက်ရန်","settings.automations.dialog.editTitle":"အလိုအလျောက်လုပ်ဆောင်ခြင်း တည်းဖြတ်ရန်","settings.automations.dialog.newTitle":"အလိုအလျောက်စနစ်အသစ်","settings.automations.dialog.subtitle":"နောက်ခံတွင် ထပ်တလဲလဲ လုပ်ဆောင်နေသော အလုပ်များကို အလိုအလျောက် လုပ်ဆောင်ပါ။ Codex သည် တွေ့ရှိချက်များကို inbox ထဲသို့ ထည့်သွင်းသည် သို့မဟုတ် အစီရင်ခံရန် ဘာမှမရှိပါက အလုပ်တစ်ခုကို အလိုအလျောက် archive လုပ်သည်။ <learnMoreLink>ပိုမိုလေ့လာရန်</learnMoreLink>","settings.automations.dialog.title":"အလိုအလျောက်လုပ်ဆောင်ခြင်း ဖန်တီးရန်","settings.automations.executionCopy.git":"Git ပရောဂျက်များကို သီးသန့်နောက်ခံ worktree များတွင် လုပ်ဆောင်ပါသည်။","settings.automations.executionCopy.local":"ရွေးချယ်ထားသော ပရောဂျက် လမ်းညွှန်များတွင် အလိုအလျောက် လုပ်ဆောင်မှုများသည် တိုက်ရိုက်လည်ပတ်သည်။","settings.automations.executionCopy.nonGit":"worktree များသည် Git လိုအပ်သောကြောင့် ဗားရှင်းထိန်းချုပ်မထားသော ပရောဂျက်များကို ဒေသတွင်းတွင်သာ လုပ်ဆောင်ပါသည်။","settings.automations.executionEnvironment.ariaLabel":"အကောင်အထည်ဖော်မှု ပတ်ဝန်းကျင်","settings.automations.executionEnvironment.label":"အကောင်အထည်ဖော်မှု ပတ်ဝန်းကျင်","settings.automations.executionEnvironment.local":"ဒေသတွင်း","settings.automations.executionEnvironment.local.help":"worktree မဖန်တီးဘဲ ရွေးချယ်ထားသော project directory တွင် တိုက်ရိုက် run သည်။","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.executionEnvironment.worktree.help":"ရွေးချယ်ထားသော ပရောဂျက်မှ ဖန်တီးထားသော သီးသန့် Git worktree တွင် လုပ်ဆောင်ပြီး သင်၏ လက်ရှိငွေရှင်းခြင်းကို မထိပါ။","settings.automations.loading":"လုပ်ဆောင်နေသည်...","settings.automations.nameLabel":"အမည်","settings.automations.namePlaceholder":"ကင်းထောက်ပြဿနာများကို စစ်ဆေးပါ","settings.automations.pause":"ခဏရပ်ပါ","settings.automations.promptLabel":"တုံ့ပြန်ညွှန်ကြားချက်","settings.automations.promptPlaceholder":"$Sentryတွင် ပျက်ကျမှုများကို ရှာဖွေပါ","settings.automations.resume":"ပြန်လည်စတင်ရန်","settings.automations.rruleSummaryFallback":"စိတ်ကြိုက်အချိန်ဇယား","settings.automations.runNow":"စမ်းသပ်ချက်","settings.automations.save":"သိမ်းရန်","settings.automations.scheduleBadge.dayCount":"{count} ရက်","settings.automations.scheduleBadge.interval":"{count}နာရီ","settings.automations.scheduleBadge.weekdays":"ရုံးဖွင့်ရက်များ","settings.automations.scheduleBadge.weekends":"ရုံးပိတ်ရက်များ","settings.automations.scheduleHeader":"အချိန်ဇယား","settings.automations.scheduleHours":"နာရီ","settings.automations.scheduleLabel":"လုပ်ဆောင်ပါ","settings.automations.scheduleMode.daily":"နေ့စဉ်","settings.automations.scheduleMode.interval":"ကြားကာလတိုင်း","settings.automations.scheduleModeLabel":"အချိန်ဇယား အမျိုးအစား","settings.automations.scheduleSummary.daily":"နေ့စဉ် {time}တွင်","settings.automations.scheduleSummary.interval":"{count} နာရီတိုင်း","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# ရက်}}","settings.automations.scheduleSummary.intervalDays":"{days}တွင် {interval} ကို ဖွင့်ရန်","settings.automations.scheduleSummary.intervalHourly":"နာရီတိုင်း","settings.automations.scheduleSummary.singleDay":"{day} သည် {time} တွင်","settings.automations.scheduleSummary.weekdays":"ရုံးဖွင့်ရက် {time}တွင်","settings.automations.scheduleSummary.weekdaysLabel":"ရုံးဖွင့်ရက်များ","settings.automations.scheduleSummary.weekends":"ရုံးပိတ်ရက် {time}တွင်","settings.automations.scheduleSummary.weekendsLabel":"ရုံးပိတ်ရက်များ","settings.automations.scheduleSummary.weekly":"{days} သည် {time} တွင်","settings.automations.scheduleWeekdays":"ဖွင့်ရန်","settings.automations.weekdayState.excluded":"ချန်လှပ်ထားသည်","settings.automations.weekdayState.included":"ထည့်သွင်းထားသည်","settings.conversationDetail.steps":"ခြေလှမ်းများ","settings.conversationDetail.steps.description":"command များနှင့် output များကို ဝှက်ပါ","settings.conversationDetail.stepsWithCommands":"ကုဒ်ညွှန်ကြားချက်များ နှင့်အတူ အဆင့်များ","settings.conversationDetail.stepsWithCommands.description":"ညွှန်ကြားချက်များကိုပြပါ၊ အထွက်ကို ခေါက်ပါ","settings.conversationDetail.stepsWithOutput":"ကုဒ်ထုတ်ပေးမှုနှင့်အတူ အဆင့်များ","settings.conversationDetail.stepsWithOutput.description":"command များကိုပြပြီး output ကိုချဲ့ထွင်ပါ","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"စုစည်းသိမ်းဆည်းထားသော  ချတ်များမရှိပါ","settings.dataControls.archivedChats.error":"စုစည်းသိမ်းဆည်းထားသော ချတ်များကို လုပ်ဆောင်၍မရပါ။","settings.dataControls.archivedChats.loading":"စုစည်းသိမ်းဆည်းထားသော ချတ်များကို လုပ်ဆောင်နေသည်…","settings.dataControls.archivedChats.unarchive":"စုစည်းသိမ်းဆည်းမှုမှ ဖယ်ရှားရန်","settings.dataControls.archivedChats.unarchiveError":"ချတ်ကို စုစည်းသိမ်းဆည်းထားခြင်းမှ ပယ်ဖျက်၍မရပါ","settings.dataControls.archivedChats.unarchiveSuccess":"မစုစည်းမသိမ်းဆည်းထားသော thread။ <viewNowLink>ယခုကြည့်ရှုပါ</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"ယခုကြည့်ရှုပါ","settings.dataControls.archivedChats.untitled":"ခေါင်းစဉ်မဲ့ချတ်","settings.dataControls.archivedChats.viewNow":"Codex ဖြင့် အစီအစဉ်တစ်ခု ဖန်တီးပါ","settings.editRow.headerPlaceholder":"သော့","settings.editRow.removeEntry":"ထည့်သွင်းမှုကို ဖယ်ရှားပါ","settings.editRow.valuePlaceholder":"တန်ဖိုး","settings.general.appearance":"အသွင်အပြင်","settings.general.appearance.codeFont":"ကုဒ်ဖောင့်","settings.general.appearance.codeFont.description":"ချတ်များနှင့် ကွဲပြားမှုများတစ်လျှောက်တွင် ကုဒ်အတွက် အသုံးပြုသော ဖောင့်နှင့် အရွယ်အစားကို ချိန်ညှိပါ","settings.general.appearance.codeFontFamily":"ကုဒ်ဖောင့်အမျိုးအစား","settings.general.appearance.codeFontSize":"ကုဒ်ဖောင့်အရွယ်အစား","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ဝင်းဒိုးများကို စနစ်၏ ကြည်လင်ပြတ်သားမှု အစား ခိုင်မာသောနောက်ခံကို သုံးပါ","settings.general.appearance.opaqueWindows.label":"မှုန်ဝါးနေသော ဝင်းဒိုးနောက်ခံကို သုံးပါ","settings.general.appearance.sansFontFamily":"Sans ဖောင့်အမျိုးအစား","settings.general.appearance.sansFontFamily.description":"Codex UI အတွက် ဖောင့်ကို ချိန်ညှိပါ","settings.general.appearance.sansFontSize":"Sans စာသား အရွယ်အစား","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark ကို ပထမ အလှည့် လည်ပတ်နေချိန်မှာ ဝင်းဒိုးအပြည့် အောင်ပွဲခံ ပုံရိပ်တွေကို ပြပါ။","settings.general.appearance.sparkCelebrationEffects.label":"အောင်ပွဲခံ ပုံရိပ်များ","settings.general.appearance.theme":"နောက်ခံပုံစံ","settings.general.appearance.theme.dark":"အမှောင်","settings.general.appearance.theme.description":"အလင်း၊ အမှောင်ကို အသုံးပြုပါ သို့မဟုတ် သင့်စနစ်နှင့် ကိုက်ညီအောင်ထားပါ","settings.general.appearance.theme.light":"အလင်း","settings.general.appearance.theme.system":"စနစ်","settings.general.appearance.usePointerCursors.description":"အပြန်အလှန်အကျိုးသက်ရောက်သော element များပေါ်တွင် ရွှေ့သည့်အခါ cursor ကို pointer အဖြစ် ပြောင်းလဲပါ။","settings.general.appearance.usePointerCursors.label":"pointer cursor များကို အသုံးပြုပါ","settings.general.enterBehavior.description":"ဖွင့်ထားသည့်အခါ စာကြောင်းများစွာပါသည့် တုံ့ပြန်ညွှန်ကြားချက်များ ပို့ရန် {modifierSymbol} + enter လိုအပ်သည်။","settings.general.enterBehavior.label":"ရှည်လျားသော တုံ့ပြန်ညွှန်ကြားချက်များ ပို့ရန် {modifierSymbol} + enter လိုအပ်သည်။","settings.general.experimentalFeatures":"စမ်းသပ်ဆဲ အင်္ဂါရပ်များ (ဘီတာ)","settings.general.experimentalFeatures.empty":"ဘီတာ စမ်းသပ်ဝန်ဆောင်မှုများ မရရှိနိုင်ပါ။","settings.general.experimentalFeatures.loading":"စမ်းသပ် အင်္ဂါရပ်များကို တင်နေသည်…","settings.general.experimentalFeatures.restartNote":"စမ်းသပ် အင်္ဂါရပ်ပြောင်းလဲမှုများကို အသုံးချရန် Codex ကို ပြန်လည်စတင်ပါ","settings.general.experimentalFeatures.toggle":"{featureName}ကို ဖွင့်၊ ပိတ်ရန်","settings.general.followUpQueueMode.description":"Codex လည်ပတ်နေစဉ် နောက်ဆက်တွဲများကို တန်းစီပါ သို့မဟုတ် လက်ရှိလည်ပတ်မှုကို ထိန်းကျောင်းပါ။ မက်ဆေ့ချ်တစ်ခုအတွက် ပြောင်းပြန်လုပ်ရန် {invertFollowUpShortcutLabel} ကိုနှိပ်ပါ။","settings.general.followUpQueueMode.interrupt":"ထိန်းကျောင်း","settings.general.followUpQueueMode.label":"နောက်ဆက်တွဲ အပြုအမူ","settings.general.followUpQueueMode.queue":"တန်းစီခြင်း","settings.general.notifications":"အသိပေးချက်များ","settings.general.power.preventSleepWhileRunning.description":"Codex က thread တစ်ခုကို run နေချိန်မှာ ကွန်ပျူတာကို ဖွင့်ထားပါ။","settings.general.power.preventSleepWhileRunning.label":"run နေချိန်မှာ ကွန်ပျူတာပိတ်သွားခြင်းမှကာကွယ်ရန်","settings.git.branchPrefix.ariaLabel":"အခွဲ နောက်ဆက်တွဲ","settings.git.branchPrefix.description":"Codex မှာ အခွဲ အသစ်တွေ ဖန်တီးတဲ့အခါ အသုံးပြုတဲ့ နောက်ဆက်တွဲ","settings.git.branchPrefix.label":"အခွဲ နောက်ဆက်တွဲ","settings.git.branchPrefix.placeholder":"Codex","settings.git.branchPrefix.save.error":"အခွဲ နောက်ဆက်တွဲကို သိမ်းဆည်း၍မရပါ","settings.git.branchPrefix.save.success":"အခွဲ နောက်ဆက်တွဲကို သိမ်းဆည်းထားသည်","settings.git.commitInstructions.ariaLabel":" ညွှန်ကြားချက်များ Commit လုပ်ခြင်း","settings.git.commitInstructions.description":"Commit မက်ဆေ့ချ် ထုတ်လုပ်ခြင်းဆိုင်ရာ တုံ့ပြန်ညွှန်ကြားချက်များတွင် ထည့်သွင်းထားသည်","settings.git.commitInstructions.label":" ညွှန်ကြားချက်များ Commit လုပ်ခြင်း","settings.git.commitInstructions.placeholder":"commit မက်ဆေ့ချ်လမ်းညွှန်ချက်ထည့်ပါ…","settings.git.commitInstructions.save":"သိမ်းရန်","settings.git.commitInstructions.save.error":"commit ညွှန်ကြားချက်များကို သိမ်းဆည်းရန် မအောင်မြင်ပါ","settings.git.commitInstructions.save.success":"သိမ်းဆည်းထားသော commit ညွှန်ကြားချက်များ","settings.git.forcePush.ariaLabel":"အမြဲတမ်း အတင်းတွန်းအားပေးပါ","settings.git.forcePush.description":"Codex မှ push သည့်အခါ --force-with-lease ကိုသုံးပါ","settings.git.forcePush.label":"အမြဲတမ်း အတင်းတွန်းပါ","settings.git.forcePush.save.disabled":"အမြဲတမ်း အတင်းတွန်းခြင်းကို ပိတ်ထားသည်","settings.git.forcePush.save.enabled":"အမြဲတမ်း အတင်းတွန်းခြင်းကို ဖွင့်ထားသည်","settings.git.forcePush.save.error":"အတင်းတွန်းပို့ခြင်း ဆက်တင်ကို သိမ်းဆည်း၍မရပါ","settings.git.prInstructions.ariaLabel":"ကုဒ်ပူးတွဲ တောင်းဆိုမှုညွှန်ကြားချက်များ","settings.git.prInstructions.description":"Codex မှ ဖန်တီးထားသော ကုဒ်ပူးတွဲ တောင်းဆိုမှုညွှန်ကြားချက် ကိုယ်ထည်များတွင် ပူးတွဲထားသည်","settings.git.prInstructions.label":"ကုဒ်ပူးတွဲ တောင်းဆိုမှုညွှန်ကြားချက်များ","settings.git.prInstructions.placeholder":"ကုဒ်ပူးတွဲ တောင်းဆိုမှု လမ်းညွှန်ချက်ထည့်ပါ…","settings.git.prInstructions.save":"သိမ်းရန်","settings.git.prInstructions.save.error":"ကုဒ်ပူးတွဲ တောင်းဆိုမှု ညွှန်ကြားချက်များကို သိမ်းဆည်း၍မရပါ","settings.git.prInstructions.save.success":"သိမ်းဆည်းထားသော ကုဒ်ပူးတွဲ တောင်းဆိုမှု ညွှန်ကြားချက်များ","settings.ide.defaultOpenTarget.description":"ဖိုင်များနှင့် ဖိုင်တွဲများကို မူရင်းအတိုင်းဖွင့်သည့်နေရာများ","settings.ide.defaultOpenTarget.label":"မူရင်းဖွင့်လှစ်ထားသော ဦးတည်ရာ","settings.ide.defaultOpenTarget.placeholder":"ပစ်မှတ်များ မတွေ့ပါ","settings.ide.language.auto":"အလိုအလျောက်-ဖမ်းယူပါ","settings.ide.language.autoOption":"အလိုအလျောက်-ဖမ်းယူပါ","settings.ide.language.description":"အက်ပ် UI အတွက် ဘာသာစကား","settings.ide.language.label":"ဘာသာစကား","settings.ide.language.search":"ဘာသာစကားများကို ရှာဖွေပါ","settings.layout.actionButton":"တိုးချဲ့မှု စတင်ပါ","settings.layout.actionTitle":"လုပ်ဆောင်မှုပါဝင်သော ဆက်တင်များ","settings.layout.fullWidthTitle":"ဆက်တင်များ (အကျယ် အပြည့်)","settings.layout.title":"ဆက်တင်များ","settings.localEnvironments.actions.add":"လုပ်ဆောင်မှု ထည့်ရန်","settings.localEnvironments.actions.add.description":"toolbar ကနေ run ဖို့ command အသစ်တစ်ခု ဖန်တီးပါ။","settings.localEnvironments.actions.add.save":"သိမ်းရန်","settings.localEnvironments.actions.empty":"ဒေသတွင်း toolbar မှ command များကို run ရန် လုပ်ဆောင်မှု တစ်ခုထည့်ပါ။","settings.localEnvironments.actions.icon.debug":"ချို့ယွင်းချက်ရှာဖွေရန်","settings.localEnvironments.actions.icon.run":"လုပ်ဆောင်ရန်","settings.localEnvironments.actions.icon.test":"စမ်းသပ်ချက်","settings.localEnvironments.actions.icon.tool":"ကိရိယာ","settings.localEnvironments.actions.item.button.delete":"ဖျက်ရန်","settings.localEnvironments.actions.item.command":"အက်ရှင်ဇာတ်ညွှန်း","settings.localEnvironments.actions.item.name":"အမည်","settings.localEnvironments.actions.item.platforms":"ပလက်ဖောင်းများ","settings.localEnvironments.actions.item.platforms.help":"သတ်မှတ်ထားသော OS တွင်သာ လည်ပတ်ပါ။","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"ပလက်ဖောင်း ရွေးချယ်မှု","settings.localEnvironments.actions.item.platforms.specific":"ပလက်ဖောင်း အလိုက်","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"ဖျက်ရန်","settings.localEnvironments.actions.title":"လုပ်ဆောင်မှုများ","settings.localEnvironments.breadcrumb.back":"နောက်သို့","settings.localEnvironments.breadcrumb.edit":"တည်းဖြတ်ရန်","settings.localEnvironments.breadcrumb.root":"ပတ်ဝန်းကျင်များ","settings.localEnvironments.environment.actions.description":"ဤလုပ်ဆောင်ချက်များကို မည်သည့် command တွင်မဆို လုပ်ဆောင်နိုင်ပြီး ခေါင်းစီးတွင် ပြသပါမည်။","settings.localEnvironments.environment.actionsLabel":"လုပ်ဆောင်မှုများ","settings.localEnvironments.environment.create":"ဒေသတွင်း ပတ်ဝန်းကျင်ကို ဖန်တီးပါ","settings.localEnvironments.environment.defaultName":"ဒေသတွင်း","settings.localEnvironments.environment.edit":"ဒေသတွင်း ပတ်ဝန်းကျင်ကို တည်းဖြတ်ပါ","settings.localEnvironments.environment.empty":"ဤပရောဂျက်အတွက် ဒေသတွင်းပတ်ဝန်းကျင်ကို ပြင်ဆင်သတ်မှတ်ခြင်း မရှိသေးပါ။","settings.localEnvironments.environment.name":"အမည်","settings.localEnvironments.environment.setup":"သတ်မှတ်မှု စခရစ်","settings.localEnvironments.environment.setup.description":"ဒီစခရစ်က worktree ဖန်တီးမှုမှာ run ပါလိမ့်မယ်။","settings.localEnvironments.environment.setup.hint":"ပရောဂျက်ရင်းမြစ်အားလုံးအတွက် ပင်မဖိုင်လ်ဒါတွင် လုပ်ဆောင်သည်။","settings.localEnvironments.environment.setup.platformOverrides":"ပလက်ဖောင်း အစားထိုးမှုများ","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} သတ်မှတ်မှု စခရစ် ထည့်ပါ","settings.localEnvironments.environment.setup.platformOverrides.description":"သတ်မှတ်ထားသော OS များအတွက် ပုံသေ စခရစ်ကို အစားထိုးသည်။","settings.localEnvironments.environment.setup.platformOverrides.remove":"ဖယ်ရှားရန်","settings.localEnvironments.environment.setup.script":"စခရစ်","settings.localEnvironments.environment.title":"ပတ်ဝန်းကျင် အသေးစိတ်များ","settings.localEnvironments.file.missing":"ဤဖိုင်ကို ပထမဆုံးအကြိမ် ဖန်တီးရန် သိမ်းဆည်းပါ။","settings.localEnvironments.file.parseError":"ရှိပြီးသားဖိုင်ကို ခွဲခြမ်းစိတ်ဖြာ၍မရပါ။ သိမ်းဆည်းခြင်းသည် ၎င်းကို အစားထိုးပါလိမ့်မည်။ ({error})","settings.localEnvironments.file.path":"ဖိုင်-{path}","settings.localEnvironments.file.readError":"ဒေသတွင်းပတ်ဝန်းကျင်ဒေတာကို လုပ်ဆောင်၍မရပါ။ ({error})","settings.localEnvironments.file.title":"ဒေသတွင်းပတ်ဝန်းကျင်ဖိုင်","settings.localEnvironments.loading.body":"သင့်ပရောဂျက် ပြင်ဆင်သတ်မှတ်မှုကို ရယူနေပါသည်။","settings.localEnvironments.loading.title":"ဒေသတွင်းပတ်ဝန်းကျင်များကို တင်နေသည်","settings.localEnvironments.preview.devOnly":"(DEV သီးသန့်)","settings.localEnvironments.preview.save":"သိမ်းရန်","settings.localEnvironments.preview.saveError":"ဖိုင်ကို သိမ်းဆည်း၍မရပါ။ ({error})","settings.localEnvironments.preview.title":"နမူနာကြည့်ရန်","settings.localEnvironments.save.disabled.name":"သိမ်းဆည်းရန် ပတ်ဝန်းကျင်အမည်တစ်ခု ထည့်ပါ။","settings.localEnvironments.save.disabled.noChanges":"သိမ်းဆည်းရန် ပြောင်းလဲမှုများ မရှိပါ။","settings.localEnvironments.save.disabled.saving":"သိမ်းဆည်းနေသည်...","settings.localEnvironments.save.success":"သိမ်းဆည်းထားသော ဒေသတွင်းပတ်ဝန်းကျင်","settings.localEnvironments.unavailable.body":"ဤအလုပ်နေရာအတွက် ဒေသတွင်းပတ်ဝန်းကျင်ဆက်တင်များကို လုပ်ဆောင်၍မရပါ။","settings.localEnvironments.unavailable.title":"ဒေသတွင်း ပတ်ဝန်းကျင်များ မရရှိနိုင်ပါ","settings.localEnvironments.workspace.add":"ပရောဂျက် ထည့်ရန်","settings.localEnvironments.workspace.title":"ပရောဂျက်","settings.localEnvironments.workspaceSelect.addLabel":"ပတ်ဝန်းကျင်ထည့်ရန်","settings.localEnvironments.workspaceSelect.description":"ဒေသတွင်း ပတ်ဝန်းကျင်များသည် အလုပ်နေရာ အတွက် worktree များကို မည်သို့ setup လုပ်ရမည်ကို Codex အား ပြောပြသည်။ {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ပရောဂျက်များ မရှိသေးပါ။ ဒေသတွင်း ပတ်ဝန်းကျင်များကို ပြင်ဆင် သတ်မှတ်ရန် တစ်ခုထည့်ပါ။","settings.localEnvironments.workspaceSelect.errorLabel":"ပတ်ဝန်းကျင်ကို အာရုံစိုက်ဖို့ လိုအပ်ပါတယ်","settings.localEnvironments.workspaceSelect.learnMore":"ပိုမိုသိရှိရန်","settings.localEnvironments.workspaceSelect.listLabel":"ရရှိနိုင်သော ပရောဂျက်များ","settings.localEnvironments.workspaceSelect.loading":"ပရောဂျက်များကို ဖွင့်နေသည်။","settings.localEnvironments.workspaceSelect.loadingLabel":"ပတ်ဝန်းကျင် လုပ်ဆောင်နေသည်","settings.localEnvironments.workspaceSelect.title":"ပရောဂျက်တစ်ခုကို ရွေးချယ်ပါ","settings.localEnvironments.workspaceSelect.viewAction":"ကြည့်ရန်","settings.mcp.addServer":"ဆာဗာထည့်ပါ","settings.mcp.app.configure":"ပြုပြင်မွမ်းမံရန်","settings.mcp.app.connect":"ချိတ်ဆက်ရန်","settings.mcp.apps.refresh":"ပြန်စဖွင့်ရန်","settings.mcp.detail.addArgument":"အကြောင်းပြချက်ထည့်ပါ","settings.mcp.detail.addEnvVar":"ပတ်ဝန်းကျင်ပြောင်းလဲမှုကိုထည့်ပါ","settings.mcp.detail.addEnvVarPassthrough":"ပြောင်းလဲမှုကိုထည့်ပါ","settings.mcp.detail.args":"အငြင်းပွားမှုများ","settings.mcp.detail.back":"နောက်သို့","settings.mcp.detail.command":"စတင်ရန် အမိန့်ပေးချက်","settings.mcp.detail.cwd":"အလုပ်လုပ်သော လမ်းညွှန်စာအုပ်","settings.mcp.detail.docs":"MCP စာရွက်စာတမ်း ဖွင့်ရန်","settings.mcp.detail.docs.link":"စာရွက်စာတမ်းများ","settings.mcp.detail.envVarPassthrough":"ပတ်ဝန်းကျင် ကိန်းရှင် ဖြတ်သန်းမှု","settings.mcp.detail.envVars":"ပတ်ဝန်းကျင် ကိန်းရှင်များ","settings.mcp.detail.http.addEnvHeader":"ပြောင်းလဲမှုကိုထည့်ပါ","settings.mcp.detail.http.addHeader":"ခေါင်းစီးထည့်ပါ","settings.mcp.detail.http.bearerToken":"ကိုင်ဆောင်သူ တိုကင် env var","settings.mcp.detail.http.envHeaders":"ပတ်ဝန်းကျင် ကိန်းရှင်များမှ ခေါင်းစီးများ","settings.mcp.detail.http.headers":"ခေါင်းစီးများ","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"အမည်","settings.mcp.detail.save":"သိမ်းရန်","settings.mcp.detail.switchTransportNotice":"MCP ဆာဗာ အမျိုးအစားကို ပြောင်းလဲလိုပါက ဦးစွာ ထည့်သွင်းပါ။","settings.mcp.detail.titleExisting":"{name} MCP အပ်ဒိတ်လုပ်ရန်","settings.mcp.detail.titleNew":"စိတ်ကြိုက် MCP သို့ ချိတ်ဆက်ပါ","settings.mcp.detail.transport.http":"တိုက်ရိုက်ကြည့်ရှုနိုင်သော HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"အင်စတောလုပ်ထားသည်ကိုဖျက်ရန်","settings.mcp.empty":"စိတ်ကြိုက် MCP ဆာဗာများ ချိတ်ဆက်ထားခြင်း မရှိပါ။","settings.mcp.myServers":"စိတ်ကြိုက်ဆာဗာများ","settings.mcp.partnerServer.description.figma":"Figma နောက်ခံ အချက်အလက် အပြည့်အစုံကို ယူဆောင်လာခြင်းဖြင့် ပိုမိုကောင်းမွန်သော ကုဒ်ကို ထုတ်လုပ်ပါ","settings.mcp.partnerServer.description.github":"လုပ်ငန်းစဉ်များကို အလိုအလျောက် လုပ်ဆောင်ရန်နှင့် ဒေတာများကို ထုတ်ယူရန် GitHub API များနှင့် ပေါင်းစပ်ပါ","settings.mcp.partnerServer.description.linear":"Linear ၏ ပြဿနာ ခြေရာခံခြင်းနဲ့ ပရောဂျက်စီမံမှုဖြင့် ပေါင်းစပ်ပါ","settings.mcp.partnerServer.description.notion":"စာရွက်စာတမ်းများဖတ်ပါ၊ စာမျက်နှာများကို အပ်ဒိတ်လုပ်ပါ၊ အလုပ်များကို စီမံပါ","settings.mcp.partnerServer.description.playwright":"ဒီဇိုင်းကို အကောင်အထည်ဖော်ရန်နှင့် UI ကို စမ်းသပ်ရန် ဘရောက်ဇာအလိုအလျောက်လုပ်ဆောင်ခြင်းကို ပေါင်းစပ်ပါ။","settings.mcp.partnerServer.install":"အင်စတောလုပ်ရန်","settings.mcp.partnerServer.installAndAuthenticate":"အင်စတောလုပ်ပြီး အတည်ပြုရန်","settings.mcp.partnerServer.logoAlt":"{label} လိုဂို","settings.mcp.partnerServer.manage":"စီမံပါ","settings.mcp.partnerServer.vendor":"{vendor} ဖြင့်","settings.mcp.recommendedServers":"အကြံပြုထားသော ဆာဗာများ","settings.mcp.restartApp":"ပြန်စတင်သည်","settings.mcp.restartExtension":"တိုးချဲ့မှု စတင်ပါ","settings.mcp.server.enable":"ဖွင့်ရန်","settings.mcp.server.login":"အတည်ပြုရန်","settings.mcp.server.settings":"ဆက်တင်များ","settings.multiselect.createOption":'"{value}" ဖန်တီးရန်',"settings.multiselect.removeOption":"ဖယ်ရှားရန်","settings.nav.account":"အကောင့်","settings.nav.agent":"သတ်မှတ်ချိန်ညှိမှု","settings.nav.ariaLabel":"ဆက်တင်များ","settings.nav.back":"အက်ပ်သို့ ပြန်သွားရန်","settings.nav.data-controls":"စုစည်းသိမ်းဆည်းထားသော thread များ","settings.nav.environments":"Cloud ပတ်ဝန်းကျင်","settings.nav.externalTooltip":"[alpha] ဘရောက်ဆာတွင် ဖွင့်သည်","settings.nav.general-settings":"အထွေထွေ","settings.nav.git-settings":"Git","settings.nav.local-environments":"ပတ်ဝန်းကျင်များ","settings.nav.mcp-settings":"MCP ဆာဗာများ","settings.nav.notImplemented":"[alpha] Alpha တွင် မရနိုင်ပါ","settings.nav.personalization":"စိတ်ကြိုက်ပြင်ဆင်ခြင်း","settings.nav.skills-settings":"ကျွမ်းကျင်မှုများ","settings.nav.usage-analytics":"သုံးစွဲမှုနှင့် ဆန်းစစ်ချက်များ","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"နောက်သို့","settings.openSourceLicenses.loading":"လုပ်ဆောင်နေသည်...","settings.openSourceLicenses.missing":"ပြင်ပ အဖွဲ့အစည်း၏ အသိပေးချက်များကို မတွေ့ရှိခဲ့ပါ။","settings.openSourceLicenses.notSupported":"ဤ host တွင် မရနိုင်ပါ။","settings.openSourceLicenses.rowDescription":"အစုအဝေး မှီခိုမှုများအတွက် ပြင်ပအဖွဲ့အစည်းမှ အသိပေးချက်များ","settings.openSourceLicenses.rowLabel":"အရင်းအမြစ် လိုင်စင်များကို ဖွင့်ရန်","settings.openSourceLicenses.subtitle":"ဤအက်ပ်တွင်ပါဝင်သော မှီခိုမှုများအတွက် ပြင်ပ အဖွဲ့အစည်းမှ အသိပေးချက်များ","settings.openSourceLicenses.title":"အရင်းအမြစ် လိုင်စင်များကို ဖွင့်ရန်","settings.openSourceLicenses.view":"ကြည့်ရန်","settings.personalization.agents.description":"သင့်အတွက် စိတ်ကြိုက်ပြုလုပ်ထားသော Codex ညွှန်ကြားချက်များကို တည်းဖြတ်ပါ။ {learnMore}","settings.personalization.agents.learnMore":"ပိုမိုသိရှိရန်","settings.personalization.agents.loadError":"agents.md ကို လုပ်ဆောင်၍မရပါ။","settings.personalization.agents.loading":"agents.md ကို လုပ်ဆောင်နေသည်…","settings.personalization.agents.placeholder":"သင့်စိတ်ကြိုက် ညွှန်ကြားချက်များကို ထည့်ပါ...","settings.personalization.agents.retry":"ထပ်မံကြိုးစားပါ","settings.personalization.agents.save":"သိမ်းရန်","settings.personalization.agents.save.error":"agents.md ကို သိမ်းဆည်း၍မရပါ","settings.personalization.agents.save.success":"သိမ်းဆည်းထားသော agents.md","settings.personalization.agents.title":"စိတ်ကြိုက်ပြုလုပ်ထားသော ညွှန်ကြားချက်များ","settings.personalization.personality.description":"Codex တုံ့ပြန်မှုများအတွက် မူရင်းအသံကို ရွေးချယ်ပါ","settings.personalization.personality.label":"ကိုယ်ရည်ကိုယ်သွေး","settings.sample.contentBody":"ဤအပြင်အဆင်ကို အသုံးပြု၍ သင်၏ ဆက်တ် ဘုတ်ပြားများကို တသမတ်တည်း အကွာအဝေးဖြင့် ဖွဲ့စည်းပါ။","settings.sample.contentTitle":"နမူနာ အကြောင်းအရာ ပိတ်ဆို့ခြင်း","settings.section.account":"အကောင့်","settings.section.agent":"သတ်မှတ်ချိန်ညှိမှု","settings.section.data-controls":"စုစည်းသိမ်းဆည်းထားသော thread များ","settings.section.environments":"Cloud ပတ်ဝန်းကျင်","settings.section.external":"အယ်လ်ဖာ ကာလအတွင်း သင့်ဘရောက်ဆာတွင် ဖွင့်သည်","settings.section.general-settings":"အထွေထွေ","settings.section.git-settings":"Git","settings.section.local-environments":"ပတ်ဝန်းကျင်များ","settings.section.mcp-settings":"MCP ဆာဗာများ","settings.section.mcp-settings.docs":"စာရွက်စာတမ်းများ","settings.section.mcp-settings.subtitle":"ပြင်ပကိရိယာများနှင့် ဒေတာရင်းမြစ်များကို ချိတ်ဆက်ပါ။","settings.section.personalization":"စိတ်ကြိုက်ပြင်ဆင်ခြင်း","settings.section.skills-settings":"ကျွမ်းကျင်မှုများ","settings.section.unavailable":"အယ်လ်ဖာမှာ မရနိုင်သေးပါ","settings.section.usage-analytics":"သုံးစွဲမှုနှင့် ဆန်းစစ်ချက်များ","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"thread တွေမှာ command output ဘယ်လောက်ပြမလဲဆိုတာ ရွေးချယ်ပါ","settings.threadDetail.label":"Thread အသေးစိတ်အချက်အလက်များ","settings.worktrees.conversation.untitled":"ခေါင်းစဉ်မဲ့ စကားဝိုင်း","settings.worktrees.delete.error":"worktree ကို ဖျက်၍မရပါ","settings.worktrees.empty.body":"Codex မှ ဖန်တီးထားသော Worktree များသည် ဤနေရာတွင် ပေါ်လာပါမည်။","settings.worktrees.empty.title":"Worktree များ မရှိသေးပါ","settings.worktrees.error.body":"worktree များကို တင်နေစဉ် တစ်စုံတစ်ခု မှားယွင်းသွားခဲ့သည်။","settings.worktrees.error.retry":"ထပ်မံကြိုးစားပါ","settings.worktrees.error.title":"worktree များကို တင်၍မရပါ","settings.worktrees.loading.body":"worktree အသေးစိတ်အချက်အလက်များကို ရယူနေပါသည်။","settings.worktrees.loading.title":"worktree များကို တင်နေသည်","settings.worktrees.repository.loading":"ကုဒ်သိုလှောင်မှု မက်တာဒေတာကို တင်နေသည်…","settings.worktrees.repository.unknown":"အမည်မသိ ကုဒ်သိမ်းဆည်းမှု","settings.worktrees.row.conversations":"စကားဝိုင်းများ","settings.worktrees.row.conversations.empty":"ဤ worktree နှင့် လင့်ခ်ချိတ်ထားသော စကားဝိုင်းများ မရှိပါ။","settings.worktrees.row.conversations.loading":"စကားဝိုင်းကို ဖွင့်နေသည်…","settings.worktrees.row.delete":"ဖျက်ရန်","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"ပရောဂျက်အသစ်ထည့်ပါ","sidebarElectron.archiveThread":"Thread စုစည်းသိမ်းဆည်းမှု","sidebarElectron.archiveThreadError":"thread ကို သိမ်းဆည်း၍မရပါ","sidebarElectron.collapseFolder":"ဖိုဒါ ချုံ့ပါ","sidebarElectron.createStableWorktree":"ရေရှည် worktree ကို ဖန်တီးပါ","sidebarElectron.createStableWorktree.dialog.ariaLabel":"ပရောဂျက် အမည်","sidebarElectron.createStableWorktree.dialog.cancel":"ပယ်ဖျက်ရန်","sidebarElectron.createStableWorktree.dialog.create":"ဖန်တီးရန်","sidebarElectron.createStableWorktree.dialog.placeholder":"ပရောဂျက် အမည်","sidebarElectron.createStableWorktree.dialog.subtitle":"HEAD မှ git worktree အသစ်တစ်ခု ဖန်တီးပါ၊ ၎င်းကို ပရောဂျက်အဖြစ် ထည့်ပြီး ၎င်းကို မဖယ်ရှားမချင်း သိမ်းဆည်းထားပါ။","sidebarElectron.createStableWorktree.dialog.title":"worktree တစ်ခု ဖန်တီးပြီး project အဖြစ် သိမ်းဆည်းပါ","sidebarElectron.createStableWorktree.error":"ရေရှည် worktree ကို ဖန်တီး၍မရပါ- {message}","sidebarElectron.debugNavLink":"ချို့ယွင်းချက်ရှာဖွေရန်","sidebarElectron.editWorkspaceRootOptionName":"အမည် ပြင်ဆင်ရန်","sidebarElectron.expandFolder":"ဖိုဒါ ချဲ့ပါ","sidebarElectron.groupByMenu.recency":"ကာလစဉ်စာရင်း","sidebarElectron.groupByMenu.title":"စီစဉ်ပါ","sidebarElectron.groupByMenu.workspace":"ပရောဂျက်အလိုက်","sidebarElectron.inboxRouteNavLink":"အလိုအလျောက်စနစ်များ","sidebarElectron.markThreadUnread":"မဖတ်ရသေးဟု သတ်မှတ်ပါ","sidebarElectron.missingWorkspaceRoot":"ဤပရောဂျက်ဖိုင်တွဲကို ဖျက်ထားသည် သို့မဟုတ် ရွှေ့ထားသည်","sidebarElectron.newThread":"Thread အသစ်","sidebarElectron.newThreadInGroup":"{folder} တွင် Thread အသစ် စတင်ရန်","sidebarElectron.noRecentThreads":"လတ်တလော Thread များ မရှိပါ","sidebarElectron.noTasks":"thread များ မရှိပါ","sidebarElectron.noTasks.start":"ပရောဂျက်အသစ်တစ်ခုထည့်ပါ","sidebarElectron.noTasksWithFilter":"စစ်ထုတ်မှုများနှင့် ကိုက်ညီသော thread များ မရှိပါ","sidebarElectron.pinnedThreads":"ပင်ထောက်ထားသော thread များ","sidebarElectron.recentNavLink":"စကားတွဲများ","sidebarElectron.recentThreads":"လတ်တလော Thread များ","sidebarElectron.removeWorkspaceRootOption":"ဖယ်ရှားရန်","sidebarElectron.renameThread":"Thread ကို အမည်ပြောင်းပါ","sidebarElectron.renameThreadDialogAriaLabel":"ခေါင်းစဉ်","sidebarElectron.renameThreadDialogCancel":"ပယ်ဖျက်ရန်","sidebarElectron.renameThreadDialogPlaceholder":"ခေါင်းစဉ်ထည့်ပါ…","sidebarElectron.renameThreadDialogSave":"သိမ်းရန်","sidebarElectron.renameThreadDialogSubtitle":"တိုတိုနဲ့ မှတ်မိလွယ်အောင် ရေးပါ။","sidebarElectron.renameThreadDialogTitle":"Thread ကို အမည်ပြောင်းပါ","sidebarElectron.renameThreadError":"Thread ကို အမည်ပြောင်း၍ မရပါ","sidebarElectron.renameWorkspaceRootOptionLabel":"ပြသသည့် အမည်","sidebarElectron.showLess":"လျှော့ပြရန်","sidebarElectron.showMenu.all":"Thread များအားလုံး","sidebarElectron.showMenu.relevant":"သင့်လျော်ပါတယ်","sidebarElectron.showMenu.relevantHint":"လက်ရှိ အခွဲ၊ worktree များ သို့မဟုတ် သင့်အာရုံစိုက်မှု လိုအပ်သော အခြား thread များအတွက် မကြာသေးမီက thread များကိုသာ ပြပါ။","sidebarElectron.showMenu.title":"ပြရန်","sidebarElectron.showMenu.tooltip":"Thread ကို စစ်ထုတ်ခြင်း၊ စီခြင်းနှင့် စီစဉ်ခြင်း","sidebarElectron.showMenu.trigger":"‌ဘေးဘားရှိ thread များကို စစ်ထုတ်ပါ","sidebarElectron.showMore":"နောက်ထပ်ပြရန်","sidebarElectron.skillsAppsRouteNavLink":"ကျွမ်းကျင်မှုများနှင့် အက်ပ်များ","sidebarElectron.skillsRouteNavLink":"ကျွမ်းကျင်မှုများ","sidebarElectron.sortMenu.created":"ဖန်တီးထားသော","sidebarElectron.sortMenu.title":"မျိုးတူစုပါ","sidebarElectron.sortMenu.updated":"အပ်ဒိတ် ပြုလုပ်ပြီးပါပြီ","sidebarElectron.taskNavigation":"အလိုအလျောက်လုပ်ဆောင်သည့် ဖိုလ်ဒါများ","sidebarElectron.tasksInFolder":"{folder}တွင် အလိုအလျောက်လုပ်ဆောင် စနစ်များ","sidebarElectron.workspaceOptions":"{folder} အတွက် ပရောဂျက်လုပ်ဆောင်ချက်များ ","sidebarElectron.worktreeGroupTooltip":"ဒါက git worktree ပါ","skills.appsPage.apps.enableToggle":"အက်ပ်ကို ဖွင့်ပါ","skills.appsPage.apps.installOnChatGpt":"ChatGPT မှာ ထည့်သွင်းပါ","skills.appsPage.apps.manageOnChatGpt":"ChatGPT တွင် စီမံခန့်ခွဲပါ","skills.appsPage.apps.noDescription":"ဖော်ပြချက် မရှိပါ","skills.appsPage.createSkill":"ကျွမ်းကျင်မှု အသစ်","skills.appsPage.empty.apps":"အက်ပ်များ မတွေ့ပါ","skills.appsPage.empty.discoverApps":"ရှာဖွေရန် အက်ပ်များ မရှိပါ","skills.appsPage.empty.installedApps":"ထည့်သွင်းထားသော အက်ပ်များ မရှိပါ","skills.appsPage.empty.skills":"ကျွမ်းကျင်မှု မတွေ့ရှိပါ","skills.appsPage.heading":"ကျွမ်းကျင်မှုများနှင့် အက်ပ်များ","skills.appsPage.search.all":"ရှာဖွေမှုစွမ်းရည်များနှင့် အက်ပ်များ","skills.appsPage.search.all.label":"ရှာဖွေမှုစွမ်းရည်များနှင့် အက်ပ်များ","skills.appsPage.search.apps":"အက်ပ်များရှာဖွေရန်","skills.appsPage.search.apps.label":"အက်ပ်များရှာဖွေရန်","skills.appsPage.search.skills":"ရှာဖွေမှု စွမ်းရည်များ","skills.appsPage.search.skills.label":"ရှာဖွေမှု စွမ်းရည်များ","skills.appsPage.section.apps":"အက်ပ်များ","skills.appsPage.section.apps.seeAll":"အက်ပ် {count} ခုလုံးကို ကြည့်ရန်","skills.appsPage.section.discover":"ရှာဖွေရန်","skills.appsPage.section.installedApps":"အင်စတောလုပ်ထားသည်","skills.appsPage.section.skills":"ကျွမ်းကျင်မှုများ","skills.appsPage.section.skills.seeAll":"ကျွမ်းကျင်မှု {count} ခုလုံးကို ကြည့်ရှုပါ","skills.appsPage.subheading":"Codex ၏ စူပါပါဝါများကို ပေးပါ။<link>ပိုမိုသိရှိရန်</link>","skills.appsPage.tab.apps":"အက်ပ်များ","skills.appsPage.tab.recommended":"အကြံပြုထားသည်","skills.appsPage.tab.skills":"ကျွမ်းကျင်မှုများ","skills.card.contentsError":"ကျွမ်းကျင်မှု အကြောင်းအရာများကို လုပ်ဆောင်၍မရပါ။","skills.card.disable":"ပိတ်ရန်","skills.card.disableSuccess":"ကျွမ်းကျင်မှု {skillName} ခုကို ပိတ်ထားသည်","skills.card.disabledBadge":"ပိတ်ထားသည်","skills.card.enable":"ဖွင့်ရန်","skills.card.enableSuccess":"ကျွမ်းကျင်မှု {skillName} ခုကိုဖွင့်ထားသည်","skills.card.loadingContents":"ကျွမ်းကျင်မှု အကြောင်းအရာများကို လုပ်ဆောင်နေသည်...","skills.card.more":"နောက်ထပ် လုပ်ဆောင်ချက်များ","skills.card.open":"ဖွင့်ရန်","skills.card.removeFailed":"ကျွမ်းကျင်မှု အင်စတောလုပ်ထားသည်ကိုဖျက်ရန် မအောင်မြင်ပါ","skills.card.removeSuccess":"{skillName} ကျွမ်းကျင်မှု အင်စတောလုပ်ထားသည်ကိုဖျက်ခဲ့သည်","skills.card.toggleEnabledError":"ကျွမ်းကျင်မှုကို အပ်ဒိတ်လုပ်၍ မရပါ","skills.card.try":"စမ်းကြည့်ပါ","skills.card.trySkill":"ကျွမ်းကျင်မှုကို စမ်းကြည့်ပါ","skills.card.uninstall":"အင်စတောလုပ်ထားသည်ကိုဖျက်ရန်","skills.hero.dotLabel":"ဆလိုက် {index} သို့သွားရန်","skills.hero.next":"နောက်ထပ် အထူးပြု ကျွမ်းကျင်မှု","skills.hero.trySkill":"ကျွမ်းကျင်မှုကို စမ်းကြည့်ပါ","skills.page.createSkill":"ကျွမ်းကျင်မှု အသစ်","skills.page.empty":"ကျွမ်းကျင်မှု မတွေ့ရှိပါ","skills.page.filteredEmpty":"သင့်စစ်ထုတ်မှုများနှင့် ကိုက်ညီသော ကျွမ်းကျင်မှုများ မရှိပါ","skills.page.filteredEmptyDescription":"သင်၏ ရှာဖွေမှု သို့မဟုတ် နယ်ပယ် စစ်ထုတ်မှုများကို ချိန်ညှိကြည့်ပါ","skills.page.heading":"ကျွမ်းကျင်မှုများ","skills.page.loading":"ကျွမ်းကျင်မှုများကို လုပ်ဆောင်နေသည်...","skills.page.refreshSkills":"ပြန်စဖွင့်ရန်","skills.page.refreshSkillsToUseNew":"ကျွမ်းကျင်မှု အသစ်များကို အသုံးပြုရန် ပြန်လည်ဆန်းသစ်ပါ","skills.page.search":"ရှာဖွေမှု စွမ်းရည်များ","skills.page.search.label":"ရှာဖွေမှု စွမ်းရည်များ","skills.page.subheading":"Codex ၏ စူပါပါဝါများကို ပေးပါ။<link>ပိုမိုသိရှိရန်</link>","skills.preview.copyPrompt":"တုံ့ပြန်ညွှန်ကြားချက်ကို ကူးယူရန်","skills.preview.examplePrompt":"တုံ့ပြန်ညွှန်ကြားချက် ဥပမာ","skills.recommended.error":"အကြံပြုထားသော ကျွမ်းကျင်မှုများကို ဖွင့်၍ မရပါ","skills.recommended.install":"အင်စတောလုပ်ရန်","skills.recommended.installSkill":"ကျွမ်းကျင်မှုထည့်သွင်းပါ","skills.recommended.installSuccess":"ကျွမ်းကျင်မှု {skillName} ခုကို အင်စတော လုပ်ပြီးပါပြီ","skills.recommended.installed":"အင်စတောလုပ်ထားသည်","skills.scope.admin":"စီမံသူ","skills.scope.adminInstalled":"အက်ဒမင် ထည့်သွင်းပြီးပါပြီ","skills.scope.builtIn":"စနစ်","skills.scope.personal":"ကိုယ်ပိုင်","skills.scope.repo":"ကုဒ်သိုလှောင်မှု","skills.scope.system":"စနစ်","skills.scope.team":"အသင်း","skills.scope.user":"သုံးစွဲသူ","skills.section.installed":"အင်စတောလုပ်ထားသည်","skills.section.recommended":"အကြံပြုထားသည်","story.slidingToggle.existing":"ရှိပြီးသား","story.slidingToggle.fromLocal":"ဒေသခံမှ","story.slidingToggle.new":"အသစ်","story.slidingToggle.toLocal":"ဒေသတွင်း သို့","terminal.close":"တာမင်နယ် ပိတ်ရန်","terminal.title":"တာမင်နယ်","thinkingShimmer.default":"စဉ်းစားနေပါတယ်","threadEnvIcon.cloudTooltip":"ဤစကားဝိုင်းကို Codex Cloud တွင် လုပ်ဆောင်နေပါသည်။","threadEnvIcon.localTooltip":"ဒီဆွေးနွေးပွဲကို ဒေသတွင်းမှာ ကျင်းပနေပါတယ်။","threadEnvIcon.worktreeTooltip":"ဤစကားဝိုင်းသည် ဒေသတွင်း git worktree တစ်ခုတွင် လည်ပတ်နေပါသည်။","threadHeader.archiveConfirmCancel":"ပယ်ဖျက်ရန်","threadHeader.archiveConfirmConfirm":"စုစည်းသိမ်းဆည်းမှု","threadHeader.archiveConfirmSubtitle":"၎င်းကို သင်၏ archive လုပ်ထားသော thread များ နောက်ပိုင်းတွင် ရှာတွေ့နိုင်ပါသည်။","threadHeader.archiveConfirmTitle":"Thread စုစည်းသိမ်းဆည်းမလား။","threadHeader.copyAppLink":"Deeplink ကို ကူးယူပါ","threadHeader.copySessionId":"ဆက်ရှင် အိုင်ဒီ ကူးယူရန်","threadHeader.copyWorkingDirectory":"အလုပ်လုပ်သော လမ်းညွှန်ကို ကူးယူပါ","threadHeader.forkIntoLocal":"local ထဲသို့ ခွဲထုတ်ပါ","threadHeader.forkIntoWorktree":"worktree ထဲသို့ ခွဲထုတ်ပါ","threadHeader.forkPendingWorktreePrompt":"ဤစကားဝိုင်းကို Worktree အသစ်သို့ ခွဲထည့်ပါ။","threadHeader.forkPendingWorktreeTitle":"ခွဲထုတ်ထားသော စကားဝိုင်း","threadHeader.forkThreadError":"thread ကို ခွဲထုတ်၍မရပါ","threadHeader.forkThreadRequiresGitRepo":"worktree အသစ်ထဲသို့ ခွဲထုတ်ရန် git ကုဒ်သိမ်းဆည်းမှု လိုအပ်သည်","threadHeader.moreActions":"Thread လုပ်ဆောင်ချက်များ","threadPage.newThread":"Thread အသစ်","threadPage.runAction.changeEnvironment":"ပတ်ဝန်းကျင် ပြောင်းလဲပါ","threadPage.runAction.dropdown.titleWithEnvironment":"လုပ်ဆောင်မှု {environmentName}ခု","threadPage.runAction.environmentSelector.label":"ပတ်ဝန်းကျင် ရွေးချယ်ပါ","threadPage.runAction.label":"လုပ်ဆောင်ရန်","threadPage.runAction.missing.label":"run လုပ်ဆောင်မှု တစ်ခု သတ်မှတ်ရန်","threadPage.runAction.setup.commandLabel":"လည်ပတ်ရန် အမိန့်ပေးချက်","threadPage.runAction.setup.description":"မှီခိုမှုများကို ဘယ်လို အင်စတောလုပ်ပြီး အက်ပ်ကို ဘယ်လို စတင်ရမလဲဆိုတာ Codex ကို ပြောပြပါ။","threadPage.runAction.setup.editMore":"ပတ်ဝန်းကျင် ဆက်တင်များ","threadPage.runAction.setup.placeholder":"ဥပမာ - npm install npm run","threadPage.runAction.setup.submit":"သိမ်းဆည်းပြီး လုပ်ဆောင်ရန်","threadPage.runAction.setup.title":"လုပ်ဆောင်ရန်","threadPage.runAction.tooltip.withEnvironment":"လုပ်ဆောင်မှု {environmentName}ခု","threadPage.toggleDiffPanel":"ကွဲပြားမှု panel ကို ဖွင့်၊ ပိတ်ရန်","threadPage.toggleTerminal":"တာမင်နယ် ဖွင့်၊ ပိတ်ရန်","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ဖိုလ်ဒါဖွင့်ပါ","toolSummaryForCmd.exploredFiles":"<verb>စာရင်းပြုစုထားသော</verb> ဖိုင်များ","toolSummaryForCmd.exploredFilesInPath":"{path}တွင် <verb>စာရင်းပြုစုထားသောဖိုင်များ</verb>","toolSummaryForCmd.exploringFiles":"<verb>စာရင်းပြုစုထားသော</verb> ဖိုင်များ","toolSummaryForCmd.exploringFilesInPath":"{path}တွင် <verb>စာရင်းပြုစုထားသောဖိုင်များ</verb>","toolSummaryForCmd.finishedBackgroundTerminal":"နောက်ခံ တာမင်နယ်ကို အပြီးသတ်လိုက်ပါပြီ","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"နောက်ခံ တာမင်နယ် ကို {command} နဲ့ အပြီးသတ်လိုက်ပါပြီ","toolSummaryForCmd.ranGenericCommand":"<status>command လုပ်ဆောင်ခဲ့သည်</status>{timer}","toolSummaryForCmd.ranSpecificCommand":" {command}{timer} <status>ကို လည်ပတ်နေပါတယ်</status>","toolSummaryForCmd.read":"<verb>ဖတ်ရန်</verb>{path}","toolSummaryForCmd.runningGenericCommand":"<status>command လုပ်ဆောင်ခဲ့သည်</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} အတွက်","toolSummaryForCmd.searchedFor":"{query} ကို <verb>ရှာဖွေခဲ့သည်</verb>","toolSummaryForCmd.searchedForFiles":"ဖိုင်များကို <verb>ရှာဖွေခဲ့သည်</verb>","toolSummaryForCmd.searchedForInPath":"{path} တွင် {query} ကို <verb>ရှာဖွေခဲ့သည်</verb>","toolSummaryForCmd.searchingFor":"{query} ကို <verb>ရှာဖွေနေသည်</verb>","toolSummaryForCmd.searchingForFiles":"ဖိုင်များကို <verb>ရှာဖွေနေသည်</verb>","toolSummaryForCmd.searchingForInPath":"{path} တွင် {query} ကို <verb>ရှာဖွေနေသည်</verb>","toolSummaryForCmd.startedBackgroundTerminal":"နောက်ခံ တာမင်နယ် စတင်ပါပြီ","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"နောက်ခံ တာမင်နယ်ကို {command} ဖြင့် စတင်ခဲ့သည်","traceRecording.details.noteLabel":"ဤအရာဖြစ်ပျက်ချိန်တွင် သင်ဘာလုပ်နေခဲ့သနည်း။ (ရွေးချယ်နိုင်သည်)","traceRecording.details.notePlaceholder":"ကြီးမားသော thread တစ်ခုသို့ လမ်းညွှန်ပြီးနောက် တက်ဘ်များကို အကြိမ်ကြိမ်ပြောင်းလဲခဲ့သည်…","traceRecording.details.submit":"ခြေရာခံပို့ပါ","traceRecording.details.subtitle":"စွမ်းဆောင်ရည် ပြဿနာများကို ရောဂါရှာဖွေရန် ဤပရိုဖိုင်ခြေရာခံကို ပေးပို့နိုင်ပါသည်။","traceRecording.details.title":"ပရိုဖိုင်ခြေရာခံပို့မလား။","traceRecording.progress.subtitle":"၎င်းပြီးမြောက်နေစဉ် Codex ကိုဖွင့်ထားပါ။","traceRecording.saving.title":"ခြေရာခံခြင်းကို သိမ်းဆည်းနေသည်…","traceRecording.startDetails.cancel":"ပယ်ဖျက်ရန်","traceRecording.startDetails.submit":"အိုကေ၊ မှတ်တမ်းတင်ခြင်း စတင်ပါ","traceRecording.startDetails.subtitle":"OK ကို နှိပ်ပြီးနောက်၊ စွမ်းဆောင်ရည်ပြဿနာကို ပြန်လည်ဖော်ထုတ်ပြီးနောက် ရပ်တန့်ပြီး ခြေရာခံခြင်းကို ပြန်လည်သုံးသပ်ရန် မျောနေသော အနီရောင်ညွှန်ပြချက်ကို နှိပ်ပါ။","traceRecording.startDetails.title":"ခြေရာခံခြင်း မည်သို့အလုပ်လုပ်သည်","traceRecording.stopButton.ariaLabel":"ခြေရာခံခြင်းကို ရပ်တန့်ပါ","traceRecording.upload.successToast":"ပရိုဖိုင် ခြေရာခံခြင်း ပို့လိုက်ပါပြီ။","traceRecording.uploading.title":"ခြေရာခံခြင်းကို အပ်လုဒ်လုပ်နေသည်…","wham.diff.addComment":"မှတ်ချက်ထည့်ပါ","wham.diff.binaryFile":"ဘိုင်နရီဖိုင်ကို မပြထားပါ","wham.diff.noContent":"အကြောင်းအရာမရှိပါ","wham.fileTag.deleted":"ဖျက်ပြီးပါပြီ","wham.fileTag.new":"အသစ်","wham.formattedRelativeDateTime.compactDaysAgo":"{value} ရက်","wham.formattedRelativeDateTime.compactHoursAgo":"{value}နာရီ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}မိနစ်","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} လ","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} ပတ်","wham.formattedRelativeDateTime.compactYearsAgo":"{value} နှစ်","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"သင်၏ အလုပ်တာဝန်ကို လုပ်ဆောင်နေသည်","wham.whamProposedTask.title":"အကြံပြုထားသော အလုပ်တာဝန်","wham.whamProposedTask.useSuggestion":"အကြံပြုချက်ကို သုံးပါ","workspaceRootDialog.addError":"ပရောဂျက် ထည့်လို့ မရပါဘူး","workspaceRootDialog.cancel":"ပယ်ဖျက်ရန်","workspaceRootDialog.confirmAdd":"ပရောဂျက် ထည့်ရန်","workspaceRootDialog.confirmPick":"ပရောဂျက်ကိုသုံးပါ","workspaceRootDialog.description":"ပရောဂျက်အဖြစ် အသုံးပြုရန် {host} တွင် လမ်းကြောင်းတစ်ခုထည့်ပါ။","workspaceRootDialog.pathLabel":"ပရောဂျက်လမ်းကြောင်း","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"ပရောဂျက်လမ်းကြောင်းထည့်ပါ","workspaceRootDialog.title.pick":"ပရောဂျက်လမ်းကြောင်းကို ရွေးချယ်ပါ","worktreeInitV2.cancel":"ပယ်ဖျက်ရန်","worktreeInitV2.notification.failedTitle":"Worktree သတ်မှတ်မှု မအောင်မြင်ပါ","worktreeInitV2.output.empty":"ရလဒ်အတွက် စောင့်နေသည်...","worktreeInitV2.status.error":"Worktree သတ်မှတ်မှု မအောင်မြင်ပါ။","worktreeInitV2.status.running":"Worktree ဖန်တီးခြင်းနှင့် သတ်မှတ်မှု လုပ်ဆောင်ခြင်း။","worktreeInitV2.status.runningFork":"ဤစကားဝိုင်းကို ခွဲထုတ်ရန် worktree တစ်ခု ဖန်တီးနေသည်။","worktreeInitV2.status.success":"Worktree အသင့်ဖြစ်ပါပြီ။","worktreeInitV2.title":"Worktree ဖန်တီးနေသည်","worktreeInitV2.workLocallyInstead":"ဒေသတွင်းတွင်သာ အလုပ်လုပ်ပါ","worktreeRestoreBanner.body":"ဒစ်ခ်နေရာချွေတာရန် ဤ Thread ၏ worktree ကို ဖယ်ရှားလိုက်သည်","worktreeRestoreBanner.missing.body":"ဤချည်နှောင်မှု၏ အလုပ်လုပ်သော directory မရှိတော့ပါ","worktreeRestoreBanner.missing.title":"လက်ရှိ အလုပ်လုပ်သော directory ပျောက်ဆုံးနေသည်","worktreeRestoreBanner.restore.error":"worktree ကို ပြန်လည်ရယူ၍မရပါ- {message}","worktreeRestoreBanner.restore.success":"Worktree ကို ပြန်လည်ပြုပြင်ပြီးပါပြီ","worktreeRestoreBanner.restoreCta":"worktree ကို ပြန်လည်ရယူပါ","worktreeRestoreBanner.title":"Worktree ကို သန့်ရှင်းရေးလုပ်ထားသည်"};Object.assign(e,globalThis.codexI18nOverrides?.["my-MM"]);export{e as default};
 //# sourceMappingURL=my-MM-DxMmsk0O.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopier","app.sidebar.hide":"Skjul sidefelt","app.sidebar.show":"Vis sidefelt","app.sidebar.tooltip":"Vis/skjul sidefelt","appHeader.installUpdate":"Oppdater","appSunset.body":"Denne versjonen av appen støttes ikke lenger. Vennligst last ned den nyeste versjonen <here>her</here>.","appSunset.title":"Oppdatering kreves","automation.updateDirective.create":"Opprett","automation.updateDirective.open":"Åpne","automation.updateDirective.untitled":"Automasjon uten tittel","automation.updateDirective.update":"Oppdater","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# forsøk} other {# forsøk}}","cloudTaskRow.archiveError":"Kunne ikke arkivere oppgave","code.diff.requestChange":"Be om endring","code.diffComment.cancel":"Avbryt","code.diffComment.comment":"Kommentar","code.diffComment.delete":"Slett","code.diffComment.save":"Lagre","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Ingen funn ble rapportert.","codex.alert.closeAriaLabel":"Lukk","codex.appUpsellBanner.cbpApi.message":"Bygg raskere med Codex-appen. Last ned nå eller {learnMoreLink}.","codex.appUpsellBanner.download":"Last ned","codex.appUpsellBanner.freeGo.message":"Codex er inkludert i planen din frem til og med 2. mars. Prøv Codex-appen for å bygge raskere.","codex.appUpsellBanner.later":"Senere","codex.appUpsellBanner.learnMoreLowercase":"finn ut mer","codex.appUpsellBanner.new":"Ny","codex.appUpsellBanner.proPlusBusiness.message":"Prøv Codex-appen med 2x bruksgrenser frem til 2. april. Last ned nå eller {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-app","codex.applyDropdown.header.changes":"Endringer","codex.applyDropdown.header.fileCount":"{count, plural, one {# fil} other {# filer}}","codex.applyDropdown.header.rows":"rader","codex.applyDropdown.header.title":"Bruk endringer","codex.applyDropdown.header.workspace":"Prosjekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fil i konflikt:} other {{count} filer i konflikt:}}","codex.applyDropdown.results.empty":"Ingen filer ble kopiert","codex.applyDropdown.results.skipped":"{count, plural, one {1 fil hoppet over:} other {{count} filer hoppet over:}}","codex.applyOrRevertBanner.apply":"Bruk","codex.applyOrRevertBanner.applyMessage":"Bruk endringer og fortsette lokalt?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Denne oppgaven ble laget i {environment}, så det fungerer kanskje ikke riktig.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Endringer laget i {environment}, så det fungerer kanskje ikke riktig.","codex.applyOrRevertBanner.reapply":"Bruk på nytt","codex.applyOrRevertBanner.revert":"Gjør om","codex.applyOrRevertBanner.revertMessage":"Gjør om brukte endringer?","codex.applyResultsDialog.applied":"Anvendt uten problemer ({count})","codex.applyResultsDialog.close":"Lukk","codex.applyResultsDialog.conflicted":"I konflikt ({count})","codex.applyResultsDialog.noDetails":"Ingen tilgjengelige fildetaljer.","codex.applyResultsDialog.skipped":"Hoppet over ({count})","codex.applyResultsDialog.title":"Bruk resultater","codex.archiveInfo":"Vis arkiverte chatter i {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Datakontroller","codex.archiveInfo.electron":"Vis arkiverte chatter i {settingsLink}","codex.archiveInfo.extension":"Vis arkiverte samtaler i .codex-mappen din.","codex.archiveInfo.settingsLink":"Innstillinger","codex.banner.content.description":"Kjør oppgaver parallelt, spor fremgang overalt og gjennomgå PR-er med AI.","codex.banner.content.headline":"Codex gjør alt.","codex.cloudTaskRow.archiveTask":"Arkiver oppgave","codex.cloudTaskRow.confirmArchiveTask":"Bekreft","codex.command.feedback":"Tilbakemelding","codex.command.findInThread":"Finn","codex.command.forceReloadSkills":"Tving ny innlasting av ferdigheter","codex.command.logOut":"Logg ut","codex.command.manageTasks":"Administrer oppgaver","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Tilbake","codex.command.navigateForward":"Fremover","codex.command.newThread":"Ny tråd","codex.command.nextThread":"Neste tråd","codex.command.openFolder":"Åpne mappe","codex.command.openSkills":"Gå til ferdigheter","codex.command.openThreadOverlay":"Åpne tråd i eget vindu","codex.command.personalitySettings":"Personlighet","codex.command.previousThread":"Forrige tråd","codex.command.settings":"Innstillinger","codex.command.toggleDiffPanel":"Vis/skjul diff-panel","codex.command.toggleSidebar":"Vis/skjul sidefelt","codex.command.toggleTerminal":"Vis/skjul terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"Konfigurer","codex.commandGroup.navigation":"Navigasjon","codex.commandGroup.panels":"Paneler","codex.commandGroup.skills":"Ferdigheter","codex.commandGroup.thread":"Tråd","codex.commandGroup.workspace":"Prosjekt","codex.commandMenu.noResults":"Ingen treff","codex.commandMenu.searchPlaceholder":"Søk i kommandoer","codex.commandMenu.suggestedGroup":"Foreslått","codex.commandMenu.switchWorkspace":"Bytt prosjekt","codex.commandMenu.title":"Kommandomeny","codex.common.retry":"Prøv på nytt","codex.composer.searchBranches":"Søk i grener","codex.dialog.basic.body":"Dette er en modal-dialog som bruker wrapperen vår rundt Radix Dialog.","codex.dialog.basic.cancel":"Avbryt","codex.dialog.basic.confirm":"Bekreft","codex.dialog.basic.open":"Åpne dialog","codex.dialog.basic.title":"Eksempeldialog","codex.dialog.long.close":"Lukk","codex.dialog.long.line":"Skrollbar linje {index} for å vise langt innhold inne i dialogen.","codex.dialog.long.open":"Åpne lang dialog","codex.dialog.long.title":"Dialog med langt innhold","codex.dialog.unstyled.body":"Denne historien viser hvordan det som kaller kan ha full kontroll over formateringen av dialoginnholdet.","codex.dialog.unstyled.open":"Åpne uformatert dialog","codex.dialog.unstyled.title":"Uformatert innhold","codex.diff.openInEditorPrompt.openButton":"Åpne i redigeringsprogram","codex.diff.openInEditorPrompt.singleLine":"Denne filen er for stor til å vises her.","codex.diffView.failedToDecodeBase64Diff":"Kunne ikke dekode base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {# fil endret} other {# filer endret}}","codex.diffView.imagePreviewAlt":"Forhåndsvisning av bilde","codex.diffView.imagePreviewEmpty":"Ingen bilde","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Ingen diff-data","codex.diffView.pdfPreview.nextPage":"Neste side","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Forrige side","codex.diffView.pdfPreviewEmpty":"Ingen PDF-forhåndsvisning","codex.diffView.pdfPreviewError":"Kunne ikke gjengi PDF-forhåndsvisning","codex.diffView.richPreviewDisable":"Deaktiver rik forhåndsvisning","codex.diffView.richPreviewEnable":"Aktiver rik forhåndsvisning","codex.diffView.richPreviewLoading":"Laster forhåndsvisning …","codex.diffView.richPreviewToggle":"Vis/skjul rik forhåndsvisning","codex.diffView.switchToUnified":"Bytt til unified diff","codex.environmentSelector.noEnvironment":"Ingen miljø","codex.environments.environmentSettings":"Miljøinnstillinger","codex.environments.learnMore":"Finn ut mer","codex.environments.listError":"Kunne ikke laste inn miljøer.","codex.environments.noEnvironmentsFound":"Ingen miljøer funnet","codex.environments.searchError":"Kunne ikke søke i miljøer.","codex.errorBoundary.genericError":"Oisann, det oppsto en feil","codex.errorBoundary.goHome":"Prøv på nytt","codex.file.patch.missing":"Kunne ikke opprette endring for denne filen.","codex.gallery.automations.cwdLabel":"Prosjekter","codex.gallery.automations.nameLabel":"Navn","codex.gallery.automations.namePlaceholder":"Oppsummer en oppgave","codex.gallery.automations.promptLabel":"Melding","codex.gallery.automations.promptPlaceholder":"Beskriv hva Codex skal gjøre","codex.gallery.dialogs.automation.label":"Automatiseringsdialog","codex.gallery.dialogs.basic.body":"Bruk dette oppsettet for enkle bekreftelser eller korte skjemaer.","codex.gallery.dialogs.basic.cancel":"Avbryt","codex.gallery.dialogs.basic.confirm":"Bekreft","codex.gallery.dialogs.basic.label":"Grunnleggende dialog","codex.gallery.dialogs.basic.title":"Eksempeldialog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Beskriv problemet","codex.gallery.dialogs.feedbackSubmission.bad":"Dårlig resultat","codex.gallery.dialogs.feedbackSubmission.bug":"Feil","codex.gallery.dialogs.feedbackSubmission.good":"Bra resultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inkluder logger for nåværende Codex-økt","codex.gallery.dialogs.feedbackSubmission.label":"Innsending av tilbakemelding","codex.gallery.dialogs.feedbackSubmission.other":"Annet","codex.gallery.dialogs.feedbackSubmission.placeholder":"Beskriv problemet her","codex.gallery.dialogs.feedbackSubmission.submit":"Send inn","codex.gallery.dialogs.feedbackSubmission.title":"Tilbakemelding","codex.gallery.dialogs.feedbackSuccess.body":"Tilbakemelding lastet opp. Hvis problemet vedvarer, vennligst åpne en GitHub-henvendelse eller oppgi tråd-ID i en eksisterende åpen henvendelse:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Avvis","codex.gallery.dialogs.feedbackSuccess.label":"Tilbakemelding fullført","codex.gallery.dialogs.feedbackSuccess.title":"Tilbakemelding lastet opp","codex.gallery.dialogs.gitApplyResults.applied":"Anvendt uten problemer (2)","codex.gallery.dialogs.gitApplyResults.close":"Lukk","codex.gallery.dialogs.gitApplyResults.conflicted":"I konflikt (1)","codex.gallery.dialogs.gitApplyResults.label":"Bruk resultater","codex.gallery.dialogs.gitApplyResults.title":"Bruk resultater","codex.gallery.dialogs.gitPushError.body":"Hent de siste endringene eller bruk tvungen push hvis du vet at den eksterne historikken er trygg å overskrive.","codex.gallery.dialogs.gitPushError.cancel":"Avbryt","codex.gallery.dialogs.gitPushError.force":"Tving push","codex.gallery.dialogs.gitPushError.label":"Push-feil","codex.gallery.dialogs.gitPushError.subtitle":"Grenen din ligger bak opprinnelig/hoved.","codex.gallery.dialogs.gitPushError.title":"Kunne ikke pushe endringer","codex.gallery.dialogs.gitRevert.cancel":"Avbryt","codex.gallery.dialogs.gitRevert.confirm":"Gjør om","codex.gallery.dialogs.gitRevert.label":"Tilbakestill endringer","codex.gallery.dialogs.gitRevert.skip":"Ikke spør på nytt","codex.gallery.dialogs.gitRevert.subtitle":"Denne handlingen fjerner alle disse endringene.","codex.gallery.dialogs.gitRevert.title":"Vil du tilbakestille endringer?","codex.gallery.dialogs.longForm.label":"Dialog på langt format","codex.gallery.dialogs.proseModal.body":"Denne modalstilen brukes til lengre instruksjoner, introduksjoner eller blokker med rikt innhold.","codex.gallery.dialogs.proseModal.close":"Lukk","codex.gallery.dialogs.proseModal.subtitle":"Del mer utførlig veiledning eller dokumentasjon her.","codex.gallery.dialogs.proseModal.title":"Prosamodal","codex.gallery.dialogs.submitBlocked.label":"Innsending blokkert","codex.gallery.dialogs.submitBlocked.message":"Meldingen din kunne ikke sendes fordi prosjektet ikke er tilgjengelig.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Kunne ikke sende melding","codex.gallery.dialogs.title":"Dialoger","codex.gallery.dropdown.filterPlaceholder":"Filtrer elementer","codex.gallery.dropdowns.actionRow":"Handlingsrader","codex.gallery.dropdowns.actionRow.disabled":"Deaktivert handling","codex.gallery.dropdowns.actionRow.primary":"Primærhandling","codex.gallery.dropdowns.actionRow.secondary":"Sekundærhandling","codex.gallery.dropdowns.actionRow.trigger":"Vis handlinger","codex.gallery.dropdowns.basic":"Grunnleggende nedtrekksmeny","codex.gallery.dropdowns.basic.newFile":"Ny fil","codex.gallery.dropdowns.basic.newFolder":"Ny mappe","codex.gallery.dropdowns.basic.openSettings":"Åpne innstillinger","codex.gallery.dropdowns.basic.title":"Hurtighandlinger","codex.gallery.dropdowns.basic.trigger":"Åpne meny","codex.gallery.dropdowns.basic.upload":"Last opp","codex.gallery.dropdowns.panel":"Panelflate","codex.gallery.dropdowns.panel.apply":"Bruk","codex.gallery.dropdowns.panel.body":"Gå gjennom differ og bruk dem på prosjektet ditt.","codex.gallery.dropdowns.panel.preview":"Forhåndsvisning","codex.gallery.dropdowns.panel.title":"Bruk endringer","codex.gallery.dropdowns.panel.trigger":"Åpne panel","codex.gallery.dropdowns.search":"Søkbar nedtrekksmeny","codex.gallery.dropdowns.search.first":"Alfakanal","codex.gallery.dropdowns.search.second":"Betagren","codex.gallery.dropdowns.search.third":"Lanseringskandidat","codex.gallery.dropdowns.search.trigger":"Filtrer elementer","codex.gallery.dropdowns.submenu":"Nedtrekksmeny med undermeny","codex.gallery.dropdowns.submenu.optionA":"Project alfa","codex.gallery.dropdowns.submenu.optionB":"Prosjekt beta","codex.gallery.dropdowns.submenu.optionC":"Prosjekt gamma","codex.gallery.dropdowns.submenu.primary":"Tilordne eier","codex.gallery.dropdowns.submenu.secondary":"Flytt til","codex.gallery.dropdowns.submenu.tertiary":"Arkiver","codex.gallery.dropdowns.submenu.trigger":"Velg handling","codex.gallery.dropdowns.title":"Nedtrekksmenyer","codex.gallery.inbox.automations.close":"Lukk","codex.gallery.inbox.automations.popover.cardTitle":"Administrer automatiseringer","codex.gallery.inbox.automations.popover.dialogTitle":"Administrer automatiseringer","codex.header.settingsTooltip":"Innstillinger","codex.hunk.patch.error":"Kunne ikke indeksere","codex.hunk.patch.missing":"Kunne ikke opprette endring for denne hunken.","codex.hunk.patch.partialSuccess":"Delvis suksess","codex.hunk.patch.revertError":"Kunne ikke uindeksere","codex.hunk.patch.revertSuccess":"Vellykket uindeksering","codex.hunk.patch.success":"Vellykket indeksering","codex.legal.autonomy.details":"Se {link} for flere detaljer","codex.legal.autonomy.details.link":"Codex-dokumenter","codex.legal.autonomy.title":"Bestem hvor mye autonomi du vil gi","codex.legal.backButton":"Tilbake","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt","codex.legal.cloud.taskOne.title":"Forklar repositoriet til en ny designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8. okt","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Lag et mørk modus-tema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Fiks en feil i introduksjonen","codex.legal.continue.apikey":"Fortsett","codex.legal.continueButton":"Neste","codex.legal.copilot.details":"Bruker Copilot-abonnementet ditt for alle modellkall, fakturering og bruksgrenser. Bruk av Codex-utvidelse er underlagt både {oaiTos} og {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHub vilkår for bruk","codex.legal.copilot.oaiTosLink":"OpenAI Codex vilkår for bruk","codex.legal.copilot.title":"Drevet av GitHub Copilot","codex.legal.mistakes.review":"Gjennomgå koden den skriver og kommandoene den kjører","codex.legal.mistakes.title":"Codex kan gjøre feil","codex.legal.powered.details":"Bruker abonnementets bruksgrenser og {link}","codex.legal.powered.details.link":"preferanser for opplæringsdata","codex.legal.powered.title":"Drevet av ChatGPT-kontoen din","codex.legal.step.cloud.subtitle":"Send oppgaver til Codex for bakgrunnskjøring slik at du kan holde fokus og jobbe raskere.","codex.legal.step.cloud.title":"Overlever til Codex i skyen","codex.legal.step.intro.subtitle":"Codex navigerer, redigerer, kjører kommandoer og utfører tester direkte i repositoriet. Drevet av ChatGPT-kontoen din.","codex.legal.step.intro.title":"Codex i IDE","codex.legal.step.todo.subtitle":"Skriv en TODO-kommentar og konverter den til en Codex-oppgave med ett enkelt klikk.","codex.legal.step.todo.title":"Gjør TODO-er om til Codex-oppgaver","codex.legal.todo.heading":"// TODO: implementer skjema","codex.localConversation.closeImagePreview":"Lukk forhåndsvisning av bilde","codex.localConversation.userImageAttachment":"Brukervedlegg","codex.localTaskRow.archiveTask":"Arkiver tråd","codex.localTaskRow.awaitingApproval":"Venter på godkjenning","codex.localTaskRow.awaitingResponse":"Venter på svar","codex.localTaskRow.confirmArchiveTask":"Bekreft","codex.loggedOut.apiKeyPrompt.cancel":"Avbryt","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Få API-nøkkel","codex.loggedOut.apiKeyPrompt.inputLabel":"Skriv inn din OpenAI API-nøkkel","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Skyoppgaver deaktivert med API-nøkkel","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Skyoppgaver deaktivert med Copilot og API-nøkkel","codex.loggedOut.signIn":"Logg inn med ChatGPT","codex.loggedOut.signIn.cancel":"Avbryt innlogging","codex.loggedOut.signInWithCopilot":"Logg inn med GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Bruk API-nøkkel","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} verktøy","codex.mcpTool.collapsedLabel.verb.called":"Kalt","codex.mcpTool.collapsedLabel.verb.calling":"Kaller","codex.mcpTool.embeddedResource.contentLabel":"Innhold","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-type","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Verktøyet returnerte ikke noe innhold","codex.mcpTool.rawPayloadHeading":"Rådata {server}.{tool} nyttelast for verktøykall","codex.menu.recent":"Nylig","codex.menu.seeAllHistory":"Se all historikk","codex.modelCapacityBanner.headline.noReset":"{modelName} har for øyeblikket ingen kapasitet igjen. Prøv igjen senere, eller start en ny samtale med en annen modell.","codex.modelCapacityBanner.headline.withReset":"{modelName} har for øyeblikket ingen kapasitet igjen. Prøv igjen etter {resetDate}, eller start en ny samtale med en annen modell.","codex.modelCapacityBanner.title":"Valgt modell har ingen kapasitet","codex.patch.change.contentsDeleted":"Innhold slettet","codex.patch.change.created":"Opprettet","codex.patch.change.created-file":"Opprettet fil","codex.patch.change.creating":"Oppretter","codex.patch.change.deleted":"Slettet","codex.patch.change.deleted-file":"Slettet fil","codex.patch.change.deleting":"Sletter","codex.patch.change.edited":"Redigert","codex.patch.change.edited-file":"Redigert fil","codex.patch.change.editing":"Redigerer","codex.patch.change.noChanges":"Ingen endringer","codex.patch.change.rejected-add":"Avvist","codex.patch.change.rejected-delete":"Avvist","codex.patch.change.rejected-edit":"Avvist","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} av {total} oppgaver fullført","codex.plan.todoListCreated":"Gjøremålsliste opprettet med {total} oppgaver","codex.profileDropdown.apiKeyAuth":"Logget inn med API-nøkkel","codex.profileDropdown.codexSettings":"Codex-innstillinger","codex.profileDropdown.copilotAuth":"Logget inn med Copilot","codex.profileDropdown.defaultAccountTitle":"Standardkonto","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter for å sende lange meldinger","codex.profileDropdown.enterBehaviorError":"Kunne ikke oppdatere innstilling","codex.profileDropdown.getPlus":"Oppgrader for høyere grenser","codex.profileDropdown.keyboardShortcuts":"Tastatursnarveier","codex.profileDropdown.language":"Språk","codex.profileDropdown.languageDefault":"Automatisk deteksjon","codex.profileDropdown.languageSearchPlaceholder":"Søk i språk","codex.profileDropdown.languageUpdateError":"Kunne ikke oppdatere språk","codex.profileDropdown.logOut":"Logg ut","codex.profileDropdown.mcp":"MCP-innstillinger","codex.profileDropdown.openConfigToml":"Åpne config.toml","codex.profileDropdown.openConfigToml.wsl":"Åpne config.toml i WSL-miljø","codex.profileDropdown.openExtensionSettings":"Åpne innstillinger","codex.profileDropdown.openMcpSettings":"Åpne MCP-innstillinger","codex.profileDropdown.openOnStartup":"Åpne ved oppstart","codex.profileDropdown.openOnStartupError":"Kunne ikke oppdatere innstilling","codex.profileDropdown.openSkillsSettings":"Åpne ferdighetsinnstillinger","codex.profileDropdown.personalAccountTitle":"Personlig konto","codex.profileDropdown.queueFollowUps":"Oppfølginger i kø","codex.profileDropdown.queueFollowUpsError":"Kunne ikke oppdatere innstilling","codex.profileDropdown.readDocs":"Les dokumenter","codex.profileDropdown.readSkillsDocs":"Les dokumenter","codex.profileDropdown.runInWsl":"Kjør i WSL","codex.profileDropdown.runInWslError":"Kunne ikke oppdatere innstilling","codex.profileDropdown.runInWslTooltip":"Kjør Codex inne i WSL. Anbefalt for forbedret sandkassesikkerhet og bedre ytelse.","codex.profileDropdown.settings":"IDE-innstillinger","codex.profileDropdown.settingsPage":"Innstillinger","codex.profileDropdown.signInWithOpenAI":"Logg inn med ChatGPT","codex.profileDropdown.skills":"Ferdighetsinnstillinger","codex.profileDropdown.switchToCopilotAccount":"Bruk Copilot-konto","codex.profileDropdown.switchToOpenAIAccount":"Bruk OpenAI-konto","codex.profileDropdown.todoCodelens":"Fiks TODO-kommentarer","codex.profileDropdown.todoCodelensError":"Kunne ikke oppdatere innstilling","codex.profileDropdown.windowsDocumentation":"Windows-dokumentasjon","codex.profileFooter.signedInFallback":"Innstillinger","codex.profileFooter.upgrade":"Oppgrader","codex.recentTasksMenu.clearSearch":"Tøm søk","codex.recentTasksMenu.cloud":"Skyoppgaver","codex.recentTasksMenu.count":"{count, plural, =0 {Ingen oppgaver i gang} one {# oppgave i gang} other {# oppgaver i gang}}","codex.recentTasksMenu.empty":"Ingen tråder enda","codex.recentTasksMenu.errorCloud":"Kunne ikke laste inn oppgaver.","codex.recentTasksMenu.errorCloud.inline":"Kunne ikke laste inn skyoppgaver.","codex.recentTasksMenu.filterAll":"Alle","codex.recentTasksMenu.filterCloudTasks":"Filtrer skyoppgaver","codex.recentTasksMenu.filterTooltip":"Filtrer oppgaver etter miljø","codex.recentTasksMenu.local":"Lokale oppgaver","codex.recentTasksMenu.recent":"Alle oppgaver","codex.recentTasksMenu.search":"Søk i nylige oppgaver","codex.recentTasksMenu.searchEmpty":"Ingen resultater","codex.recentTasksMenu.tooltip":"Oppgavehistorikk","codex.recentTasksMenu.trigger":"Nylige oppgaver. {count, plural, one {# pågår} other {# pågår}}","codex.remoteConversation.applyDiff.applyCta":"Bruk endringer","codex.remoteConversation.applyDiff.dropdownTitle":"Bruk endringer på en lokal forgrening","codex.remoteConversation.applyDiff.revertCta":"Tilbakestill endringer","codex.remoteConversation.closeImagePreview":"Lukk forhåndsvisning av bilde","codex.remoteConversation.codexCloudTask":"Du viser en <u>Codex Cloud</u>-oppgave","codex.remoteConversation.errorWithMessage":"Feil: {message}","codex.remoteConversation.loadingImage":"Laster inn bilde","codex.remoteConversation.openInWeb":"Åpne på nett","codex.remoteConversation.streaming":"Kom i gang","codex.remoteConversation.turnFailed":"Det oppsto en feil under denne oppgaven","codex.remoteConversation.turnTab.loading":"Forsøk {number}","codex.remoteConversation.turnTab.title":"Forsøk {number}","codex.remoteConversation.userImageAttachment":"Brukervedlegg","codex.remoteConversation.viewPreviousTurns":"Åpne på nett","codex.remoteConversation.viewPreviousTurns.buttonText":"Åpne","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Åpne på nett","codex.review.copyGitApplyCommand":"Kopier git apply-kommando","codex.review.copyGitApplyCommand.toast":"Kopierte git apply-kommando til utklippstavlen","codex.review.diffTooLarge.description":"Denne diffen er for stor for å vises i gjennomgang.","codex.review.diffTooLarge.title":"Diff er for stor for å vises","codex.review.expandOrCollapseDiffButton.collapse":"Skjul alle diff-er","codex.review.expandOrCollapseDiffButton.expand":"Utvid alle diff-er","codex.review.expandOrCollapseDiffMenu.collapse":"Skjul alle differ","codex.review.expandOrCollapseDiffMenu.expand":"Utvid alle differ","codex.review.fileSearch.clear":"Tøm filfilter","codex.review.fileSearch.empty":"Ingen filer matcher det aktive filteret.","codex.review.fileSearch.label":"Filtrer filer","codex.review.fileSearch.placeholder":"Filtrer filer …","codex.review.filesChanged":"{num, plural, =0 {Ingen filer endret} one {# fil endret} other {# filer endret}}","codex.review.find.loadMore":"Last flere treff","codex.review.fullReview.hideFileTree":"Skjul mappetre","codex.review.fullReview.showFileTree":"Vis mappetre","codex.review.header.moreOptions":"Gå gjennom alternativer","codex.review.largeDiff.banner":"Stor diff oppdaget – viser én fil om gangen.","codex.review.loadFullFiles.disable":"Ikke last fullstendige filer","codex.review.loadFullFiles.enable":"Last fullstendige filer","codex.review.noDiff":"Filendringer vil vises her","codex.review.noDiff.gitInit.createRepository":"Opprett Git-repositorium","codex.review.noDiff.gitInit.creating":"Oppretter …","codex.review.noDiff.gitInit.error":"Git init mislyktes: {message}","codex.review.noDiff.gitInit.success":"Git-repositorium opprettet","codex.review.noDiff.gitRepoRequired.description":"Spor og angre endringer på dette prosjektet","codex.review.noDiff.gitRepoRequired.title":"Opprett et Git-repositorium","codex.review.noDiff.orNoLongerAvailable":"eller de nyeste diff-ene er ikke lenger tilgjengelige","codex.review.noDiff.reverted":"Forrige omgang er omgjort","codex.review.noDiff.revertedOrCommitted":"Forrige omgang er enten omgjort eller committed","codex.review.refreshGitQueries":"Oppdater","codex.review.revert.file.error":"Kunne ikke tilbakestille {path}","codex.review.revert.file.partialSuccess":"Delvis tilbakestilt {path}","codex.review.revert.file.success":"Tilbakestilte {path}","codex.review.revert.hunk.error":"Kunne ikke tilbakestille hunk {hunkNumber} i {path}","codex.review.revert.hunk.partialSuccess":"Delvis tilbakestilt hunk {hunkNumber} i {path}","codex.review.revert.hunk.success":"Tilbakestilte hunk {hunkNumber} i {path}","codex.review.revert.section.error":"Kunne ikke tilbakestille seksjon","codex.review.revert.section.partialSuccess":"Seksjon delvis tilbakestilt","codex.review.revert.section.success":"Seksjon tilbakestilt","codex.review.revertDialog.cancel":"Avbryt","codex.review.revertDialog.confirm":"Bekreft","codex.review.revertDialog.message":"Denne handlingen fjerner alle disse endringene.","codex.review.revertDialog.skip":"Ikke spør på nytt","codex.review.revertDialog.title":"Vil du tilbakestille endringer?","codex.review.richPreview.disable":"Deaktiver rik forhåndsvisning","codex.review.richPreview.enable":"Aktiver rik forhåndsvisning","codex.review.source.cloud":"Skyendringer","codex.review.source.local.all":"Alle grenendringer","codex.review.source.local.lastTurn":"Endringer i siste runde","codex.review.source.local.uncommitted":"Ikke-forpliktede endringer","codex.review.source.worktree":"Ikke-iverksatte endringer på arbeidstre","codex.review.stageFilter.empty.staged.description":"Godta endringer for å gjøre dem klare for indeksering","codex.review.stageFilter.empty.staged.title":"Ingen indekserte endringer","codex.review.stageFilter.empty.unstaged.description":"Kodeendringer vil vises her","codex.review.stageFilter.empty.unstaged.title":"Ingen uindekserte endringer","codex.review.stageFilter.staged":"Indeksert","codex.review.stageFilter.staged.count":"Indeksert · {count}","codex.review.stageFilter.unstaged":"Uindeksert","codex.review.stageFilter.unstaged.count":"Uindeksert · {count}","codex.review.switchToSplit":"Bytt til delt diff","codex.review.switchToUnified":"Bytt til unified diff","codex.review.toggleDiffView":"Endre diff-visning","codex.review.wordDiffs.disable":"Deaktiver ordforskjeller","codex.review.wordDiffs.enable":"Aktiver ordforskjeller","codex.review.wrap.disable":"Deaktiver linjebryting","codex.review.wrap.enable":"Aktiver linjebryting","codex.section.patch.missing":"Kunne ikke opprette endring for denne delen.","codex.shell.collapse":"Skjul shell","codex.shell.commandLine":"{command} USD","codex.shell.copy.copiedTooltip":"Kopiert shell-innhold","codex.shell.copy.copyTooltip":"Kopier shell-innhold","codex.shell.copyCommand":"Kopier kommando","codex.shell.copyOutput":"Kopier utdata","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Utvid shell","codex.shell.name":"Shell","codex.shell.noOutput":"Ingen utdata","codex.signInFailed.message":"Kunne ikke logge inn: {rawMessage}","codex.stories.toast.show":"Vis toast","codex.stories.tooltip.basic":"Dette er et verktøytips","codex.stories.tooltip.hoverMe":"Hold pilen over meg","codex.stories.tooltip.largerOffset":"Dette verktøytipset har større forskyvning","codex.stories.tooltip.offsetButton":"Større forskyvning","codex.stories.tooltip.shortcutButton":"Med snarvei","codex.stories.tooltip.withShortcut":"Vis/skjul terminal","codex.taskRow.title":"Ny tråd","codex.taskRowLayout.confirm":"Bekreft","codex.threadFindBar.chatFilter":"Søk i chat","codex.threadFindBar.close":"Lukk finn","codex.threadFindBar.diffFilter":"Søk i differ","codex.threadFindBar.label":"Finn i tråd","codex.threadFindBar.nextResult":"Neste resultat","codex.threadFindBar.noResults":"0 resultater","codex.threadFindBar.placeholder":"Søk i tråd …","codex.threadFindBar.placeholder.extension":"Søk i tråd …","codex.threadFindBar.placeholder.review":"Søk i diff …","codex.threadFindBar.placeholder.review.extension":"Søk i diff …","codex.threadFindBar.previousResult":"Forrige svar","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fil endret} other {# filer endret}}","codex.unifiedDiff.inlineLargeFile":"For stor til å vises inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Angre","codex.unifiedDiff.revertPatchError":"Kunne ikke gjøre om endringer","codex.unifiedDiff.revertPatchSuccess":"Endringer gjort om","codex.unifiedDiff.reviewChangesSuffix":"endringer","codex.unifiedDiff.reviewShort":"Se gjennom","codex.unifiedDiff.viewDiffTooltip":"Se gjennom","codex.upsellBanner.business.headline":"For å få mer tilgang nå må du sende en forespørsel til administratoren, eller vente til {resetDate}.","codex.upsellBanner.cbp.headline":"For å få mer tilgang nå må du sende en forespørsel til administratoren.","codex.upsellBanner.cta.addCredits":"Legg til kreditter","codex.upsellBanner.cta.upgradeAccount":"Oppgrader","codex.upsellBanner.cta.viewUsage":"Vis forbruk","codex.upsellBanner.freeOrGo.headline":"Grensen for antall forespørsler tilbakestilles {resetDate}. For å fortsette å bruke Codex kan du oppgradere til Plus i dag.","codex.upsellBanner.general.headline":"Grensen for antall forespørsler tilbakestilles {resetDate}.","codex.upsellBanner.general.title":"Du er tom for Codex-meldinger","codex.upsellBanner.plus.headline":"Grensen for antall forespørsler tilbakestilles {resetDate}. For å fortsette å bruke Codex kan du legge til kreditter eller oppgradere til Pro i dag.","codex.upsellBanner.pro.headline":"Grensen for antall forespørsler tilbakestilles {resetDate}. Legg til kreditter for å fortsette å bruke Codex nå.","codex.userMessage.autoResolveSync":"Løs konflikter automatisk","codex.userMessage.commentCount":"{count, plural, one {# kommentar} other {# kommentarer}}","codex.userMessage.copiedAriaLabel":"Kopiert","codex.userMessage.copiedTooltip":"Kopiert","codex.userMessage.copyAriaLabel":"Kopier melding","codex.userMessage.copyTooltip":"Kopier","codex.userMessage.implementPlan":"Iverksett plan","codex.userMessage.noContent":"(Ingen innhold)","codex.userMessage.priorConversation":"Henviser til tidligere samtale","codex.userMessage.reviewMode":"Gjennomgangsmodus","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"for {query}","codex.webSearch.summary.verb.completed":"Søkte på nettet","codex.webSearch.summary.verb.inProgress":"Søker på nettet","codex.windowsInstallWslBanner.dismiss":"Avvis","codex.windowsInstallWslBanner.installWslCta":"Aktiver sandkasse","codex.windowsInstallWslBanner.learnMore":"Finn ut mer","codex.windowsSandboxBanner.content":"Agentmodus bruker en eksperimentell sandkasse i Windows for å begrense tilgang til filsystemet og nettverket. {sandboxLink}","codex.windowsSandboxBanner.title":"Aktiver sandkasse for Agentmodus","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-innstillinger","codexUpgradeModal.body":"Codex er nå drevet av GPT-5.2-Codex, vår nyeste banebrytende agentbaserte kodemodell. Når det gjelder koding er den {link}, noe som ytterligere forbedret GPT-5.2.","codexUpgradeModal.close":"Lukk","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"smartere og raskere","codexUpgradeModal.title":"Codex ble akkurat oppgradert","codexUpgradeModal.tryNewModel":"Prøv GPT-5.2-Codex nå","codexUpgradeModal.useExistingModel":"Fortsett med aktiv modell","commentAttachments.numComments":"{count, plural, one {# kommentar} other {# kommentarer}}","commentAttachments.removeAriaLabel":"Fjern kommentarvedlegg","common.close":"Lukk","composer.addContext.openFilePickerError":"Kunne ikke åpne filvelgeren","composer.addContextDropdown.ariaLabel":"Legg til filer med mer","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Legg til filer med mer","composer.addPhotosAndFiles":"Legg til bilder og filer","composer.atMentionList.emptyQuery":"Skriv for å søke etter filer","composer.atMentionList.loading":"Søker …","composer.atMentionList.noResults":"Ingen resultater","composer.attemptsSelector.option":"{count, plural, one {# versjon} other {# versjoner}}","composer.attemptsSelector.tooltip":"Antall parallelle forsøk Codex skal gjøre","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Stopp","composer.cloudFollowUp.cloud":"Sky","composer.cloudFollowUp.local":"Lokal","composer.cloudFollowUp.whereRun":"Hvor skal denne oppfølgingen kjøres?","composer.cloudTaskCreationError":"Feil ved oppretting av skyoppgave","composer.cloudTaskError":"Feil ved oppretting av oppgave","composer.contextWindow.autoCompactionTooltipLine1":"Codex komprimerer automatisk konteksten","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontekstvindu:","composer.contextWindowUsageStatusFull":"{usage} % fullt","composer.contextWindowUsageStatusLeft":"{usage} % brukt ({remaining} % igjen)","composer.contextWindowUsageTooltip":"{usedTokens} 000 av {contextWindow} 000 tokener brukt","composer.customCliTooltip":"Bruker en egendefinert kjørbar CLI-fil","composer.dictation.aria":"Diktat","composer.dictation.cancel.aria":"Stopp diktat","composer.dictation.cancel.tooltip":"Stopp diktat","composer.dictation.startError":"Kunne ikke starte diktat","composer.dictation.submit.aria":"Transkriber og send inn","composer.dictation.submit.tooltip":"Transkriber og send inn","composer.dictation.tooltip":"Hold for å diktere","composer.dictation.transcribeError":"Kunne ikke transkribere lyd","composer.dictation.unsupported":"Diktat er ikke tilgjengelig på denne enheten","composer.dropOverlay.holdShift":"Hold {key} for å slippe","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Opprett nytt","composer.environmentSelector.error":"Feil ved lasting av miljøer","composer.environmentSelector.goBack":"Tilbake til meldingsfelt","composer.environmentSelector.title":"Velg miljø","composer.environmentSelector.tooltip":"Velg et skymiljø","composer.feedbackSlashCommand.title":"Tilbakemelding","composer.filePicker.selectFile":"Velg en fil","composer.filePicker.selectFiles":"Velg filer","composer.followerTooltip":"For å fortsette må du gå tilbake til vinduet der denne samtalen startet.","composer.footer.branchSwitch.checkoutError":"Kunne ikke bytte gren: {message}","composer.footer.branchSwitch.createAndCheckout":"Opprett og sjekk ut ny gren …","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Commit endringer for å opprette og sjekke ut en ny gren","composer.footer.branchSwitch.createBranchError":"Kunne ikke opprette gren: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Navn på gren","composer.footer.branchSwitch.createDialog.branchExistsError":"Gren eksisterer allerede.","composer.footer.branchSwitch.createDialog.close":"Lukk","composer.footer.branchSwitch.createDialog.createAndCheckout":"Opprett og sjekk ut","composer.footer.branchSwitch.createDialog.placeholder":"ny-gren","composer.footer.branchSwitch.createDialog.title":"Opprett og sjekk ut gren","composer.footer.branchSwitch.createDialog.trailingSlashError":"Grennavn kan ikke avsluttes med “/”","composer.footer.branchSwitch.tooltip":"Bytt gren","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Commit endringer i {fileCount, plural, one {# fil} other {# filer}} for å sjekke ut {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"endringer i {fileCount, plural, one {# fil} other {# filer}} for å sjekke ut {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Avbryt","composer.footer.branchSwitch.uncommittedDialog.commit":"Commit og bytt gren …","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Endringene dine i følgende filer vil bli overskrevet ved utsjekking:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Vennligst commit endringene dine for å fortsette","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"den valgte grenen","composer.footer.branchSwitch.uncommittedDialog.title":"Commit endringer for å bytte gren","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Ikke committed: {fileCount, plural, one {# fil} other {# filer}}","composer.forkSlashCommand.description":"Forgren denne tråden til en lokal tråd eller nytt arbeidstre","composer.forkSlashCommand.option.local.description":"Fortsett i en ny lokal tråd","composer.forkSlashCommand.option.local.title":"Forgren til lokal","composer.forkSlashCommand.option.worktree.description":"Fortsett i et nytt arbeidstre","composer.forkSlashCommand.option.worktree.title":"Forgren til et nytt arbeidstre","composer.forkSlashCommand.title":"Forgrening","composer.imageInputsUnsupported":"Denne modellen støtter ikke bildeinndata. Prøv en annen modell.","composer.imageUploadFailed":"Kunne ikke laste opp bilde","composer.includeIdeContextDropdown":"Inkluder IDE-kontekst","composer.includeIdeContextDropdown.ariaLabel":"Inkluder IDE-kontekst","composer.localCwdDropdown.addWorkspaceRoot":"Legg til nytt prosjekt","composer.localCwdDropdown.noActiveRoot":"Velg prosjektet ditt","composer.localCwdDropdown.noResults":"Ingen mapper funnet","composer.localCwdDropdown.title":"Velg prosjektet ditt","composer.localTaskError":"Feil ved oppretting av samtale","composer.mcpSlashCommand.description":"Vis MCP-serverstatus","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Ikke autentisert","composer.mcpStatus.authOauth":"Autentisert (OAuth)","composer.mcpStatus.authToken":"Autentisert (API-nøkkel)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Lukk","composer.mcpStatus.disabled":"Deaktivert","composer.mcpStatus.emptyLabel":"Servere:","composer.mcpStatus.emptyValue":"Ingen MCP-servere konfigurert","composer.mcpStatus.enabled":"Aktivert","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Kan ikke laste inn MCP-status","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Bytt modus","composer.mode.agentMode.custom":"Egendefinert","composer.mode.agentMode.custom.dropdownLabel":"Egendefinert","composer.mode.agentMode.custom.option":"Egendefinert (config.toml)","composer.mode.agentMode.custom.optionLabel":"Egendefinert (config.toml)","composer.mode.agentMode.customInfo.cancel":"Avbryt","composer.mode.agentMode.customInfo.cli":"Du kan justere innstillingene fra CLI eller ved å redigere filen direkte.","composer.mode.agentMode.customInfo.confirm":"Bruk egendefinert modus","composer.mode.agentMode.customInfo.description":"Egendefinert modus bruker retningslinjene for godkjenning og sandkasser som er definert i <link>config.toml</link>-filen.","composer.mode.agentMode.customInfo.docs":"Les mer om hvordan du konfigurerer retningslinjene for godkjenning og sandkasse i <link>dokumentasjonen for kjøringsmiljøet</link>.","composer.mode.agentMode.customInfo.refresh":"Endringer trer i kraft neste gang agenten kjøres.","composer.mode.agentMode.customInfo.title":"Slik fungerer egendefinert modus","composer.mode.agentMode.fullAccess":"Agent (full tilgang)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (full tilgang)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (full tilgang)","composer.mode.agentMode.fullAccessConfirm.caution":"Vær forsiktig når du aktiverer full tilgang. Dette øker risikoen for datatap, lekkasjer og uventet adferd.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ja, fortsett likevel","composer.mode.agentMode.fullAccessConfirm.description":"Når Codex kjører med full tilgang, kan den redigere alle filer på dataen din og kjøre kommandoer med nettverk uten din godkjennelse.","composer.mode.agentMode.fullAccessConfirm.goBack":"Avbryt","composer.mode.agentMode.fullAccessConfirm.title":"Aktivere full tilgang?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Bytt modus","composer.mode.agentMode.tooltip.auto":"Les og rediger filer, og kjør kommandoer.","composer.mode.agentMode.tooltip.custom":"Bruk de nyeste retningslinjene for godkjenning og sandkasser definert i config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex kan redigere filer utenfor prosjektet og kjøre kommandoer med nettverkstilgang. Vær forsiktig når du bruker den.","composer.mode.agentMode.tooltip.readOnly":"Krever godkjenning for å redigere filer og kjøre kommandoer.","composer.mode.cloud.tooltip":"Arbeid i et skymiljø","composer.mode.contactAdmin":"For å få mer tilgang kan du kontakte administratoren din","composer.mode.local":"Lokal","composer.mode.local.learnMore":"Finn ut mer","composer.mode.local.model.custom":"Egendefinert","composer.mode.local.model.loadingModel":"Laster inn modell","composer.mode.local.model.selecrReasoningEffort":"Velg resonnering","composer.mode.local.model.selectModel":"Velg modell","composer.mode.local.model.tooltip":"Velg modell","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Høy","composer.mode.local.reasoning.low.label":"Lav","composer.mode.local.reasoning.medium.label":"Medium","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Ingen","composer.mode.local.reasoning.xhigh.label":"Ekstra høy","composer.mode.localRemoteWhereRun":"Velg hvor du skal kjøre oppgaven","composer.mode.newTask.header":"Fortsett i","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Gjenstående bruksgrenser","composer.mode.rateLimit.hour":"{hours} t","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"{modelName}-grense:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ukentlig grense} other {{weeks} ukentlig grense}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Ukentlig} other {{weeks} uke}}","composer.mode.remote.connectToCloud":"Koble til Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Sett opp et miljø via Codex web for å sende oppgaver til skyen","composer.mode.remote.selectEnvironment":"Velg miljø","composer.mode.remote.sendToCloud":"Send til sky","composer.mode.remote.setupViaWeb":"Sett opp et miljø via Codex web","composer.mode.runInCloud":"Sky","composer.mode.runInCloudWithEnvironment":"Sky · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Arbeid i et skymiljø","composer.mode.segmentedToggle.local.tooltip":"Arbeid på ditt lokale prosjekt","composer.mode.segmentedToggle.worktree.tooltip":"Arbeid i et parallelt arbeidstre","composer.mode.upgradeToPlus":"Oppgrader til Plus","composer.mode.upgradeToPro":"Oppgrader til Pro","composer.mode.workLocally":"Lokalt prosjekt","composer.mode.workLocally.currentBranchFallback":"din forgrening","composer.mode.workLocally.tooltip":"Arbeid på {branchName}","composer.mode.worktree":"Nytt arbeidstre","composer.mode.worktree.submoduleWarning":"Dette repositoriet har git-undermoduler. Opprettelse av arbeidstre kan feile","composer.mode.worktree.tooltip":"Opprett en kopi av ditt lokale prosjekt for å arbeide parallelt","composer.mode.worktreeSegment":"Arbeidstre","composer.modelChangeDuringConversationWarning.toast":"Å endre modell midt i en samtale vil redusere ytelsen.","composer.newChat.heading.browser":"Hva skal vi kode nå?","composer.permissionsDropdown.custom.label":"Egendefinert (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Egendefinert (config.toml)","composer.permissionsDropdown.default.label":"Standardtillatelser","composer.permissionsDropdown.default.optionLabel":"Standardtillatelser","composer.permissionsDropdown.fullAccess.disabled":"Full tilgang er deaktivert av requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Endre tillatelser","composer.personalitySlashCommand.description.friendly":"Varm, samarbeidsvillig og hjelpsom","composer.personalitySlashCommand.description.pragmatic":"Kortfattet, oppgavefokusert og direkte","composer.personalitySlashCommand.label.friendly":"Vennlig","composer.personalitySlashCommand.label.pragmatic":"Pragmatisk","composer.personalitySlashCommand.notApplicableSuffix":"(Gjelder ikke aktiv modell)","composer.personalitySlashCommand.title":"Personlighet","composer.placeholder.cloudFollowUp.directFollowUp":"Oppfølging av denne skyoppgaven","composer.placeholder.cloudFollowUp.local":"Lag en ny lokal oppgave som refererer til denne skyoppgaven","composer.placeholder.cloudFollowUp.workingTree":"Opprett en ny skyoppgave som inkluderer din nåværende kode og som vil referere til denne oppgaven","composer.placeholder.localFollowUp.cloud":"Oppfølging i en ny skyoppgave","composer.placeholder.localFollowUp.locally":"Be om oppfølgende endringer","composer.placeholder.newTask.cloud":"Be Codex om å gjøre hva som helst i skyen","composer.placeholder.newTask.doAnything":"Be Codex om å gjøre hva som helst","composer.placeholder.newTask.locally":"Spør Codex om hva som helst, @ for å legge til filer, / for kommandoer","composer.planModeDropdown":"Planmodus","composer.planModeDropdown.ariaLabel":"Planmodus","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Slå planmodus av","composer.planSlashCommand.enableDescription":"Slå planmodus på","composer.planSlashCommand.title":"Planmodus","composer.priorContext.label":"Forrige kontekst","composer.priorContext.removeAriaLabel":"Fjern forrige kontekst","composer.queuedMessage.delete":"Slett melding i kø","composer.queuedMessage.edit":"Rediger melding","composer.queuedMessage.more":"Handlinger for melding i kø","composer.queuedMessage.sendNow":"Send nå","composer.queuedMessage.turnOff":"Slå av kø","composer.reasoningEffort.local.reasoning.tooltip":"Velg resonneringsinnsats","composer.remote.branchStartingPoint":"Hvilken gren skal oppgaven starte fra?","composer.remote.branchesSectionHeading":"Grener","composer.remote.currentEditsSuffix.followUp":"Lag en ny oppgave som refererer til denne skyoppgaven.","composer.remote.currentEditsSuffix.useLocal":"med lokale kodeendringer","composer.remote.directFollowUp":"Ikke bruk lokale kodeendringer","composer.remote.errorLoadingBranches":"Feil ved lasting av grener","composer.remote.fromBranch":"Fra {branch}","composer.remote.fromCurrentBranch":"Fra {branch} (aktiv)","composer.remote.loadingMoreBranches":"Laster ...","composer.remote.localFileStateHeading":"Lokal filstatus","composer.remote.localWorkingTree":"Bruk lokale endringer","composer.remote.startingPoint":"Hvilken kode bør oppgaven starte fra?","composer.reviewMode.branches.error":"Kunne ikke laste grener","composer.reviewMode.branches.retry":"Prøv på nytt","composer.reviewMode.gitRoot.error":"Git root ikke funnet","composer.reviewMode.option.baseBranch.simple":"Gjennomgå mot en basegren","composer.reviewMode.option.unstaged.simple":"Gjennomgå ikke-forpliktede endringer","composer.reviewMode.quickReviewError":"Kunne ikke starte kodegjennomgang.","composer.reviewMode.title":"Kodegjennomgang","composer.sandboxButton.unlock.disabled.tooltip":"Full tilgang er deaktivert av requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex kan bruke en eksperimentell sandkasse i Windows for å begrense tilgang til filsystemet og nettverket. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Vil du aktivere Windows Sandbox","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Bruk kun lesetilgang","composer.searchEnvironments":"Søk i miljøer","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Laster ferdigheter ...","composer.skillMentionList.noResults":"Ingen ferdigheter funnet","composer.slashCommands.cloudEnvironment.title":"Skymiljø","composer.slashCommands.dialogLabel":"Meny for slash-kommando","composer.slashCommands.dialogTitle":"Slash-kommandoer","composer.slashCommands.disabledTooltip":"Begynn en ny samtale for å bruke slash-kommandoer.","composer.slashCommands.inputPlaceholder":"Søk","composer.slashCommands.noResults":"Ingen kommandoer","composer.slashCommands.skillsGroup":"Ferdigheter","composer.slashCommands.tooltip":"Bla gjennom slash-kommandoer","composer.status.close":"Lukk","composer.statusPlain.alertLabel":"Varsel:","composer.statusPlain.alertValue":"{remaining} % igjen på {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count} K","composer.statusPlain.contextValueMetadata":"({used} brukte / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % igjen","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName}-grense:","composer.statusPlain.rateLimitDays":"{count} d grense","composer.statusPlain.rateLimitFallbackLabel":"Bruksgrense:","composer.statusPlain.rateLimitHours":"{count} t grense","composer.statusPlain.rateLimitLabelBase":"Bruksgrense","composer.statusPlain.rateLimitMinutes":"{count} m grense","composer.statusPlain.rateLimitPercent":"{remaining} % igjen","composer.statusPlain.rateLimitReset":"tilbakestilles {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"tilbakestillingstidspunkt utilgjengelig","composer.statusPlain.rateLimitUnavailable":"Ikke tilgjengelig","composer.statusPlain.sessionCopiedAriaLabel":"Kopierte økt-ID","composer.statusPlain.sessionCopiedTooltip":"Kopierte ID","composer.statusPlain.sessionCopyAriaLabel":"Kopier økt-ID","composer.statusPlain.sessionCopyTooltip":"Kopier ID","composer.statusPlain.sessionLabel":"Økt:","composer.statusSlashCommand.description":"Vis tråd-ID, bruk av kontekst og bruksgrenser","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Kunne ikke sende melding","composer.submit.emptyMessage":"Skriv en melding for å begynne","composer.submit.imageInputsUnsupported":"Fjern bilder eller bytt modell for å sende denne meldingen.","composer.submit.loadingLocalConfig":"Laster ...","composer.submit.missingCloudConfig":"Du må velge et skymiljø","composer.submit.missingCloudTurn":"Kunne ikke følge opp denne oppgaven","composer.submit.noWorkspace":"Legg til et prosjekt for å bruke Codex","composer.submit.waitForImageUploads":"Bilder lastes opp ...","composer.submitButtonTooltip.send":"Send","composer.submitButtonTooltip.stop":"Stopp","composer.worktreeEnvironment.create":"Opprett lokalt miljø","composer.worktreeEnvironment.default":"Standardmiljø","composer.worktreeEnvironment.error":"Feil ved lasting av miljøer","composer.worktreeEnvironment.loading":"Laster miljøer …","composer.worktreeEnvironment.title":"Lokalt miljø","composer.worktreeEnvironment.tooltip":"Velg et lokalt miljø","composer.worktreeSetupFailed":"Konfigurering av arbeidstre mislyktes. Sjekk .codex/environments for et konfigurasjonsskript.","compoundButton.secondaryAction":"Sekundærhandling","copyButton.copied":"Kopiert","copyButton.copiedAriaLabel":"Kopiert","copyButton.copy":"Kopier","copyButton.copyAriaLabel":"Kopier","copyButton.copyCode":"Kopier kode","diff.actionButton.revertFile":"Tilbakestill fil","diff.actionButton.revertHunk":"Gjør om","diff.actionButton.revertSection":"Tilbakestill alle","diff.actionButton.revertSectionLabel":"Tilbakestill alle","diff.actionButton.stageFile":"Indekser fil","diff.actionButton.stageHunk":"Indekser","diff.actionButton.stageSection":"Indekser alle","diff.actionButton.stageSectionLabel":"Indekser alle","diff.actionButton.unstageFile":"Uindekser fil","diff.actionButton.unstageHunk":"Uindekser","diff.actionButton.unstageSection":"Uindekser alle","diff.actionButton.unstageSectionLabel":"Uindekser alle","diff.fileHeader.toggle":"Vis/skjul fil-diff","electron.onboarding.login.apikey.cancel":"Avbryt","electron.onboarding.login.apikey.continue":"Fortsett","electron.onboarding.login.apikey.label":"OpenAI API-nøkkel","electron.onboarding.login.apikey.open":"Skriv inn API-nøkkel","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Avbryt innlogging","electron.onboarding.login.chatgpt.continue":"Fortsett med ChatGPT","electron.onboarding.login.devbox":"Koble til en ekstern SSH","electron.onboarding.login.error":"Kunne ikke logge inn: {rawMessage}","electron.onboarding.login.snake.start":"Spill Snake","electron.onboarding.login.sshConfig.cancel":"Avbryt","electron.onboarding.login.sshConfig.continue":"Fortsett","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-vertsnavn","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Den beste måten å bygge med agenter på","electron.onboarding.login.title":"Velkommen til Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Fortsett","electron.onboarding.welcome.doubleLimits.description":"I anledning lanseringen av Codex-appen har du 2× bruksgrense frem til 2. april.","electron.onboarding.welcome.freego.description":"Codex er inkludert gratis i planen din frem til 2. mars – la oss begynne å bygge sammen.","electron.onboarding.welcome.new.title.anon":"Velkommen!","electron.onboarding.workspace.continue":"Fortsett","electron.onboarding.workspace.empty":"Legg til et prosjekt for å fortsette.","electron.onboarding.workspace.listLabel":"Tilgjengelige prosjekter","electron.onboarding.workspace.loading":"Laster prosjekter …","electron.onboarding.workspace.openFolder":"Legg til prosjekt","electron.onboarding.workspace.selectAll":"Velg alle","electron.onboarding.workspace.skip":"Hopp over","electron.onboarding.workspace.skip.error":"Kunne ikke opprette et nytt prosjekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Ukjent feil","electron.onboarding.workspace.skipping":"Oppretter et nytt prosjekt …","electron.onboarding.workspace.subtitle":"Codex vil kunne redigere filer og kjøre kommandoer i valgte mapper.","electron.onboarding.workspace.title":"Velg et prosjekt","errorPage.list.checkSettings":"Prøv å oppdatere IDE-innstillingene dine","errorPage.list.configToml":"Sjekk config.toml for ugyldige innstillinger","errorPage.list.downloadExtension":"Prøv å laste ned en annen versjon av utvidelsen","errorPage.list.runInWsl":"Sjekk innstillingene dine for å avslutte kjøring i WSL om du har kompatibilitetsproblemer","execApprovalRequest.menu.runAlways":"Ja, og ikke spør igjen denne økten","execApprovalRequest.menu.runAlwaysWithAmendment":"Ja, og ikke spør igjen for kommandoer som begynner med {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ja, og ikke spør igjen for kommandoer som begynner med","execApprovalRequest.menu.runOnce":"Ja","execApprovalRequest.prompt":"Vil du kjøre denne kommandoen?","execApprovalRequest.reject":"Nei","execFooter.exitCode":"Utgangskode {code}","execFooter.exitCode.unknown":"ukjent","execFooter.success":"Vellykket","feedback.dialog.category.badResult":"Dårlig resultat","feedback.dialog.category.bug":"Feil","feedback.dialog.category.goodResult":"Bra resultat","feedback.dialog.category.other":"Annet","feedback.dialog.descriptionPlaceholder":"Beskriv problemet her","feedback.dialog.dismiss":"Avvis","feedback.dialog.includeLogsLabel":"Inkluder logger for nåværende Codex-økt","feedback.dialog.submit":"Send inn","feedback.dialog.submitError":"Vi kunne ikke sende inn tilbakemeldingen. Prøv igjen snart.","feedback.dialog.title":"Tilbakemelding","feedback.dialog.uploadedMessage.existingIssue":"eksisterende åpent problem","feedback.dialog.uploadedMessage.openIssue":"åpne et GitHub-problem","feedback.dialog.uploadedMessage.withThread":"Tilbakemelding lastet opp. Hvis problemet vedvarer, vennligst {openIssueLink} eller oppgi tråd-ID i en {existingIssueLink}:","feedback.dialog.uploadedTitle":"Tilbakemelding lastet opp","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Fjern {filename}","header.back":"Tilbake","header.recentChats":"Oppgaver","header.recentTasks.seeAll":"Vis alle ({total})","home.header.getPlus":"Få Plus","home.hero.letsBuild":"La oss bygge","homePage.mainContent":"Hovedinnhold","imageAttachment.defaultName":"bilde","imageAttachment.preview.close":"Lukk forhåndsvisning av bilde","imageAttachment.removeAriaLabel":"Fjern {filename}","implementPlanRequest.option.implement":"Ja, iverksett denne planen","implementPlanRequest.prompt":"Vil du iverksette denne planen?","inbox.archived.deleteError":"Kunne ikke slette arkivert kjøring","inbox.archived.deleteRun":"Slett arkivert kjøring","inbox.archived.deleteSuccess":"Slettet arkivert tråd. Se i <settingsLink>Arkiverte tråder</settingsLink>.","inbox.archived.inlineLabel.auto":"Denne tråden ble automatisk arkivert. <learnMoreLink>Finn ut mer</learnMoreLink>","inbox.archived.inlineLabel.manual":"Denne tråden ble arkivert.","inbox.archived.noMessageFound":"Ingen melding funnet","inbox.automations.createError":"Kunne ikke opprette automatisering","inbox.automations.deleteConfirm.cancel":"Avbryt","inbox.automations.deleteConfirm.confirm":"Slett automatisering","inbox.automations.deleteConfirm.description":"Dette vil permanent slette automatiseringen og stoppe alle fremtidige kjøringer.","inbox.automations.deleteConfirm.title":"Vil du slette {name}?","inbox.automations.deleteError":"Kunne ikke slette automatisering","inbox.automations.editTooltip":"Rediger automatisering","inbox.automations.inProgress":"Pågår","inbox.automations.new":"Ny","inbox.automations.newToolbar":"Ny automatisering","inbox.automations.pauseTooltip":"Sett automatisering på pause","inbox.automations.resumeTooltip":"Gjenoppta automatisering","inbox.automations.startingNow":"Starter nå","inbox.automations.startsIn":"Starter om {startTime}","inbox.automations.status.active":"Aktiv","inbox.automations.status.paused":"Satt på pause","inbox.automations.status.runs":"{count} kjøringer","inbox.automations.status.started":"Startet {date}","inbox.automations.updateError":"Kunne ikke oppdatere automatisering","inbox.automations.workspaceFallback":"–","inbox.filter.all":"Alle","inbox.filter.ariaLabel":"Filtrer innbokselementer","inbox.filter.unread":"Ulest","inbox.list.archived":"Arkivert","inbox.list.inProgress":"Pågår","inbox.list.recent":"Fullført","inbox.list.upNext":"Planlagt","inbox.mode.automations":"Automatiseringer","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Ingen beskrivelse oppgitt","inbox.openThread":"Åpne tråd","inbox.rightPanel.emptySubtitle":"Automatiser arbeidet ved å sette opp planlagte oppgaver","inbox.rightPanel.emptySubtitle.learnMore":"Automatiser arbeidet ved å sette opp planlagte tråder. <link>Finn ut mer</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktiv automatisering} other {# aktive automatiseringer}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Ingen uleste automatiseringer","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ulest automatisering} other {# uleste automatiseringer}}","inbox.rightPanel.emptyTitle":"Ingen elementer valgt","inbox.rightPanel.noThread":"Ingen tråd for dette elementet","inbox.rightPanel.quickStart.header":"Start med en mal","inbox.untitled":"Innbokselement uten tittel","loadingPage.documentationLink":"dokumentasjon","loadingPage.errorDescription":"Codex krasjet med følgende feil:","loadingPage.errorDescription.documentation":"Klikk på Last inn på nytt for å starte Codex-utvidelsen på nytt, eller gå til {documentationLink} for ytterligere hjelp.","loadingPage.errorSignal":"Noen ting du kan prøve:","loadingPage.errorTitle":"Det har oppstått en feil","loadingPage.openConfigToml":"Åpne Config.toml","loadingPage.reload":"Last inn på nytt","localConversation.contextCompacted":"Kontekst automatisk komprimert","localConversation.contextCompacting":"Komprimerer kontekst automatisk","localConversation.forkedFromConversation":"Forgrenet fra {threadTitle}","localConversation.merge.autoResolve.failed":"Kunne ikke be om automatisk løsning: {error}","localConversation.merge.autoResolve.sent":"Forespørsel om automatisk løsning sendt","localConversation.merge.autoResolveMerge.missingConversation":"Kan ikke automatisk løse uten en aktiv samtale.","localConversation.merge.autoResolveMerge.request":"Løs sammenslåingskonfliktene automatisk","localConversation.modelChanged":"Modell endret fra {fromModel} til {toModel}.","localConversation.modelChanged.warning.line1":"Å endre modell midt i en samtale vil redusere ytelsen.","localConversation.modelChanged.warning.line2":"Kontekst kan bli automatisk komprimert.","localConversation.moveThread.createBranch.label":"Opprett gren","localConversation.moveToLocal.disabled.loading":"Laster ...","localConversation.moveToLocal.modal.continue":"Fortsett","localConversation.moveToLocal.modal.destinationLabel":"Flytt til","localConversation.moveToLocal.modal.retry":"Prøv på nytt","localConversation.moveToWorktree.modal.back":"Tilbake","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Gren eksisterer allerede.","localConversation.moveToWorktree.modal.branchesError":"Kunne ikke laste grener","localConversation.moveToWorktree.modal.branchesLoading":"Laster grener …","localConversation.moveToWorktree.modal.branchesRetry":"Prøv på nytt","localConversation.moveToWorktree.modal.continue":"Fortsett","localConversation.moveToWorktree.modal.retry":"Prøv på nytt","localConversation.moveToWorktree.modal.trailingSlashError":"Grennavn kan ikke avsluttes med “/”","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ny-gren","localConversation.personalityChanged":"Bytt til personligheten {personality}","localConversation.planSummary.collapse":"Skjul sammendrag av plan","localConversation.planSummary.collapseTooltip":"Skjul","localConversation.planSummary.download":"Last ned plan","localConversation.planSummary.expand":"Utvid sammendrag av plan","localConversation.planSummary.expandTooltip":"Utvid","localConversation.planSummary.openInNewWindow":"Åpne","localConversation.planSummary.openInNewWindow.tooltip":"Åpne i nytt vindu","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Skriveplan","localConversation.planSummary.viewPlan":"Utvid plan","localConversation.remoteTaskCreated":"Oprettet {taskLink} i Codex Cloud","localConversation.remoteTaskCreated.task":"oppgave","localConversation.scrollToBottomButton":"Bla til bunnen","localConversation.sync.buttonLabel":"Overføring til lokal","localConversation.sync.buttonLabel.tooltip":"Overføre endringer mellom dette arbeidstreet og din lokale utsjekking.","localConversation.sync.modal.loading.title":"Overfører endringer …","localConversation.sync.modal.noChanges":"Ingen endringer","localConversation.syncSetup.branchAriaLabel":"Navn på gren","localConversation.syncSetup.branchName":"Navn på gren","localConversation.syncSetup.branchPlaceholder.existing":"Velg eksisterende gren","localConversation.syncSetup.branchPlaceholder.new":"codex/ny-funksjon","localConversation.syncSetup.branchesLoading":"Laster grener …","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Allerede sjekket ut","localConversation.syncSetup.checkoutClean":"For øyeblikket på {branchName}","localConversation.syncSetup.checkoutDirty":"For øyeblikket på {branchName} med ikke comittede endringer","localConversation.syncSetup.checkoutError":"Kunne ikke sjekke ut gren: {message}","localConversation.syncSetup.checkoutLabel":"Sjekk ut lokalt nå","localConversation.syncSetup.checkoutOnLocal":"Overføring til lokal","localConversation.syncSetup.checkoutPending":"Sjekker lokal status …","localConversation.syncSetup.checkoutUnavailable":"Lokalt arbeidsområde ikke tilgjengelig","localConversation.syncSetup.checkoutUnknown":"Lokal gren ikke tilgjengelig","localConversation.syncSetup.continue":"Fortsett","localConversation.syncSetup.createBranchError":"Kunne ikke angi gren for overføring: {message}","localConversation.syncSetup.error":"Noe gikk galt: {message}","localConversation.syncSetup.error.workingTreeMissing":"Kunne ikke ta snapshot av arbeidstre. Vennligst prøv overføring på nytt.","localConversation.syncSetup.mode.ariaLabel":"Velg grenmodus","localConversation.syncSetup.mode.existing":"Eksisterende gren","localConversation.syncSetup.mode.new":"Ny gren","localConversation.syncSetup.noBranches":"Ingen grener funnet","localConversation.syncSetup.overwriteError":"Gren ble opprettet, men er ikke fullstendig overført. Overfør manuelt før du sjekker ut lokalt.","localConversation.syncSetup.setPrefix":"Angi prefiks","localConversation.syncSetup.subtitle":"Test og rediger endringer på arbeidstre lokalt. <a>Finn ut mer</a>","localConversation.syncSetup.success.checkedOut":"Gren ble opprettet og er sjekket ut lokalt","localConversation.syncSetup.success.notCheckedOut":"Gren opprettet","localConversation.syncSetup.title":"Overfør til lokal gren","localConversation.syncWorktreeError.branchAriaLabel":"Navn på gren","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/ny-funksjon","localConversation.syncWorktreeError.branchSetup.subtitle":"Velg en gren å overføre til, prøv deretter å laste endringer på nytt.","localConversation.syncWorktreeError.branchSetup.title":"Oppdater gren","localConversation.syncWorktreeError.branchUpdate.cta":"Oppdater og prøv igjen","localConversation.syncWorktreeError.branchUpdate.error":"Kunne ikke oppdatere gren: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Noe gikk galt: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Gren er ikke sjekket ut i noe arbeidstre","localConversation.syncWorktreeV2.applyUncommitted":"Bruk","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Du må sjekke ut grenen lokalt for å bruke ikke-commitede endringer","localConversation.syncWorktreeV2.branches.empty":"Ingen grener funnet","localConversation.syncWorktreeV2.branches.loading":"Laster grener …","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Endre gren for overføring","localConversation.syncWorktreeV2.changeBranch.error":"Kunne ikke endre gren for overføring: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Bruk mislyktes","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Overskriving av arbeidstre mislyktes","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Overskriving lokalt mislyktes","localConversation.syncWorktreeV2.commandError.back":"Tilbake","localConversation.syncWorktreeV2.commandError.body":"En git-kommando feilet under overføring. Gå gjennom utdataene og prøv igjen.","localConversation.syncWorktreeV2.commandError.retry":"Prøv på nytt","localConversation.syncWorktreeV2.description":"Overfør endringer mellom lokal og dette arbeidstreet. <a>Finn ut mer</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Velg retning for overføring","localConversation.syncWorktreeV2.error.generic":"Noe gikk galt under overføringen. Prøv igjen.","localConversation.syncWorktreeV2.localBranchLabel":"Lokal","localConversation.syncWorktreeV2.noChanges":"Beregner endringer","localConversation.syncWorktreeV2.noChanges.summary":"Ingen endringer","localConversation.syncWorktreeV2.overwrite.local":"Overskriving lokalt","localConversation.syncWorktreeV2.overwrite.worktree":"Overskriv arbeidstre","localConversation.syncWorktreeV2.partial.action.applyFailed":"Kunne ikke bruke endringer","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Kunne ikke overskrive lokale endringer","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Kunne ikke overskrive endringer i arbeidstre","localConversation.syncWorktreeV2.partial.appliedLabel":"Brukt","localConversation.syncWorktreeV2.partial.back":"Tilbake","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Løs konflikter og prøv igjen.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikter","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fil} other {# filer}}","localConversation.syncWorktreeV2.partial.retry":"Prøv på nytt","localConversation.syncWorktreeV2.partial.skippedLabel":"Hoppet over","localConversation.syncWorktreeV2.stateFailed.generic":"Noe gikk galt under henting av endringene som skulle overføres i arbeidstreet. Vennligst prøv igjen.","localConversation.syncWorktreeV2.stateFailed.title":"Kunne ikke laste endringer på arbeidstre","localConversation.syncWorktreeV2.statusError.diffUnknown":"Kunne ikke laste endringer på arbeidstre.","localConversation.syncWorktreeV2.statusError.retry":"Prøv på nytt","localConversation.syncWorktreeV2.statusError.title":"Kunne ikke laste lokale grenendringer","localConversation.syncWorktreeV2.statusError.unknown":"Status for gren er ikke tilgjengelig akkurat nå. Prøv igjen.","localConversation.syncWorktreeV2.success.apply":"Endringer tatt i bruk","localConversation.syncWorktreeV2.success.overwrite":"Overføring var vellykket","localConversation.syncWorktreeV2.title":"Overføre endringer","localConversation.syncWorktreeV2.worktreeLabel":"Arbeidstre","localConversation.userInputRequest.inProgress":"Spør {count, plural, one {spørsmål} other {spørsmål}}","localConversation.userInputRequest.noAnswer":"Ingen svar gitt","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Spurte","localConversation.userInputRequest.summary.count":"{count, plural, one {# spørsmål} other {# spørsmål}}","localConversation.workedFor":"Arbeidet i {time}","localConversation.worktreeBranchSetup.action.create":"Opprett","localConversation.worktreeBranchSetup.branchAriaLabel":"Navn på gren","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Opprett en ny gren","localConversation.worktreeBranchSetup.checkoutDisabled":"Denne grenen er allerede sjekket ut {location}","localConversation.worktreeBranchSetup.checkoutError":"Kunne ikke sjekke ut gren: {message}","localConversation.worktreeBranchSetup.createBranchError":"Kunne ikke angi gren: {message}","localConversation.worktreeBranchSetup.error":"Noe gikk galt: {message}","localConversation.worktreeBranchSetup.subtitle":"Opprett en gren for å committe endringer, pushe og opprette en PR fra dette arbeidstreet. <a>Finn ut mer</a>","localConversation.worktreeBranchSetup.title":"Arbeid her","localConversationPage.addWorktreeToSidebar.tooltip":"Lagre som et prosjekt, slik at du kan starte nye tråder fra dette arbeidstreet","localConversationPage.addWorktreeToSidebarError":"Kunne ikke legge til prosjekt","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit og opprettelse av PR mislyktes","localConversationPage.commitAndCreatePrModal.successTitle":"Committet og opprettet PR","localConversationPage.commitAndPushModal.errorTitle":"Commit og push mislyktes","localConversationPage.commitAndPushModal.successTitle":"Committet og pushet endringer","localConversationPage.commitCreatePr.open":"Åpne pull-forespørsel","localConversationPage.commitCreatePr.successTitle":"Opprettet PR med dine siste endringer","localConversationPage.createBranchButtonLabel":"Opprett gren her","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"–","localConversationPage.createPrModal.confirm":"Opprett PR","localConversationPage.createPrModal.createDescription":"Åpne en pull request for de siste endringene dine.","localConversationPage.createPrModal.errorTitle":"Pull request mislyktes","localConversationPage.createPrModal.headBranch":"Hode","localConversationPage.createPrModal.headBranchUnknown":"–","localConversationPage.createPrModal.open":"Åpne PR","localConversationPage.createPrModal.successTitle":"Pull-forespørsel opprettet","localConversationPage.createPrModal.title":"Opprett pull request","localConversationPage.createPrModal.viewDescription":"Det finnes allerede en pull request for denne grenen.","localConversationPage.createPrModal.viewTitle":"Pull request klar","localConversationPage.createPullRequestAuthGh":"Autentiser GitHub CLI: run “gh auth login”","localConversationPage.createPullRequestBranchMissing":"Informasjon om gren ikke tilgjengelig","localConversationPage.createPullRequestButtonLabel":"Opprett PR","localConversationPage.createPullRequestButtonLabel.loading":"Oppretter PR …","localConversationPage.createPullRequestDefaultBranchMissing":"Informasjon om standardgren ikke tilgjengelig","localConversationPage.createPullRequestError":"Kunne ikke opprette pull-forespørsel","localConversationPage.createPullRequestExistingPullRequest":"Det finnes allerede en pull request for denne grenen","localConversationPage.createPullRequestGhStatusMissing":"Laster GitHub CLI-status…","localConversationPage.createPullRequestInstallGh":"Installer GitHub CLI (gh) for å opprette PR-er","localConversationPage.createPullRequestNoRepo":"Ingen git-repositorier funnet","localConversationPage.createPullRequestPushStatusMissing":"Laster push-status ...","localConversationPage.createPullRequestSetUpstream":"Push denne grenen før du oppretter en PR","localConversationPage.createPullRequestSuccessToast":"Pull-forespørsel opprettet","localConversationPage.createPullRequestSwitchBranch":"Sjekk ut en funksjonsgren før du oppretter en PR","localConversationPage.error.render":"Feil ved gjengivelse av lokal samtale","localConversationPage.error.toast":"Samtale ikke funnet","localConversationPage.forcePushError":"Kunne ikke tvinge push","localConversationPage.generatePullRequestMessageError":"Kunne ikke generere tittel og beskrivelse for pull-forespørsel","localConversationPage.generatePullRequestMessageFailed":"Kunne ikke generere tittel og beskrivelse for pull-forespørsel.","localConversationPage.gitActionResult.branch":"Gren","localConversationPage.gitActionResult.cancel":"Avbryt","localConversationPage.gitActionResult.close":"Lukk","localConversationPage.gitActionResult.tryAgain":"Prøv på nytt","localConversationPage.gitActions":"Git-handlinger","localConversationPage.newChat":"Ny chat","localConversationPage.openInTarget":"Åpne i","localConversationPage.openPrimaryTarget":"Åpne","localConversationPage.planItemsCompleted":"{completedItems} av {totalItems, plural, one {# oppgave fullført} other {# oppgaver fullført}}","localConversationPage.pushAuthError":"Push mislyktes: autentisering kreves","localConversationPage.pushBranchMissing":"Informasjon om gren ikke tilgjengelig","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Pusher …","localConversationPage.pushError":"Kunne ikke pushe endringer","localConversationPage.pushModal.branchLabel":"Gren","localConversationPage.pushModal.branchUnknown":"–","localConversationPage.pushModal.cancel":"Avbryt","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Push dine siste commits til det eksterne repositoriet.","localConversationPage.pushModal.errorTitle":"Push mislyktes","localConversationPage.pushModal.forcePush":"Tving push","localConversationPage.pushModal.successTitle":"Push fullført","localConversationPage.pushModal.title":"Push-endringer","localConversationPage.pushModal.tryAgain":"Prøv på nytt","localConversationPage.pushNoUpstream":"Angi en upstream før du pusher denne grenen","localConversationPage.pushNoUpstreamError":"Push mislyktes: ingen oppstrøm konfigurert","localConversationPage.pushNothingToPush":"Ingen nye commiter å pushe","localConversationPage.pushRemoteChangedError":"Push mislyktes: ekstern har nye commiter","localConversationPage.pushRemoteRejectedError":"Push avvist av ekstern","localConversationPage.pushStatusMissing":"Laster push-status ...","localConversationPage.pushSuccessToast":"Pushede endringer","localConversationPage.viewPullRequestButtonLabel":"Vis PR","localConversationPage.viewPullRequestButtonLabel.loading":"Laster pull-forespørsel …","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fil} other {# filer}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liste} other {# lister}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# søk} other {# søk}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Utforsker","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Utforsket","localConversationTurn.exploration.accordion.header.complete.withCounts":"Utforsket {counts}","localConversationTurnStory.showContent":"Vis innhold","localConversationTurnStory.streamContent":"Strøm innhold","localConversationTurnStory.toggleReasoning":"Vis resonnement","localTaskRow.archiveError":"Kunne ikke arkivere samtale","localTaskRow.resumeError":"Kunne ikke gjenoppta oppgave","mermaidDiagram.ariaLabel":"Mermaid-diagram","mermaidDiagram.copySource":"Kopier Mermaid","mermaidDiagram.originalCode":"Mermaid-kildekode","notifications.permissions.description":"Vis varsler når varslingstillatelser kreves","notifications.permissions.label":"Aktiver tillatelsesvarsler","notifications.turnMode.always":"Alltid","notifications.turnMode.description":"Angi når Codex varsler deg om at den er ferdig","notifications.turnMode.label":"Varsler om fullførte turer","notifications.turnMode.off":"Aldri","notifications.turnMode.unfocused":"Bare når den ikke er i fokus","patchApprovalRequest.approve":"Godkjenn","patchApprovalRequest.menu.allowAlways":"Ja, og ikke spør igjen denne økten","patchApprovalRequest.menu.allowForSession":"Ja, og ikke spør igjen denne økten","patchApprovalRequest.menu.allowOnce":"Ja","patchApprovalRequest.prompt":"Vil du utføre disse endringene?","patchApprovalRequest.reject":"Nei","patchApprovalRequest.waitingForApproval":"Venter på godkjenning for å redigere filer","pendingRequest.approvalExec.collapse":"Skjul","pendingRequest.approvalExec.expand":"Utvid","pendingRequestStory.toastAnswer":"Svar: {answer}","pendingRequestStory.toastApprovalTitle":"Godkjenningssvar","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Oppfølging sendt","pendingRequestStory.toastNoAnswers":"Ingen svar gitt","pendingRequestStory.toastQuestion":"Spørsmål: {question}","pendingRequestStory.toastUnknownDecision":"Ukjent","pendingRequestStory.toastUserInputTitle":"Innsendte svar","quickAction.request.codeReview.branches.new":"Se gjennom endringer på {from} mot {to}","quickAction.request.codeReview.uncommitted.new":"Se gjennom mine ikke-forpliktede endringer","reasoningItem.thinking":"Tenker","reasoningItem.thought":"Tenkte","reasoningItem.thoughtWithElapsed":"Tenkte i {elapsed}","recentConversations.title":"Nylige samtaler","recentTasks.worktreeInitFailedTitle":"Arbeidstre-init mislyktes","recentTasks.worktreeSettingUpTitle":"Setter opp arbeidstre","requestInputPanel.continue":"Fortsett","requestInputPanel.dismiss":"Avvis","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Skriv her","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nei, og fortell Codex hva den skal gjøre annerledes","requestInputPanel.selectedBadge":"Valgte","requestInputPanel.skip":"Hopp over","requestInputPanel.submit":"Send inn","review.commit.ariaLabel.includeUnstaged":"Inkluder uindekserte","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commiter ...","review.commit.disabled.loadingDiff":"Laster diff …","review.commit.disabled.missingContext":"Legg til litt kontekst for å generere en commit-melding","review.commit.disabled.noChanges":"Ingen endringer for commit","review.commit.disabled.noSelection":"Velg endringer for commit","review.commit.disabled.unavailable":"Commit er ikke tilgjengelig akkurat nå","review.commit.error":"Kunne ikke committe endringer","review.commit.form.changesToBeCommitted":"Endringer","review.commit.form.commitTo":"Gren","review.commit.form.commitTo.none":"–","review.commit.form.continue":"Fortsett","review.commit.form.title":"Commit endringene dine","review.commit.generate.emptyResponse":"Kunne ikke generere en commit-melding.","review.commit.generate.failed":"Kunne ikke generere commit-melding: {error}","review.commit.generate.missingPrompt":"Legg til litt kontekst for å generere en commit-melding.","review.commit.includeUnstaged":"Inkluder uindekserte","review.commit.loading.description":"Vent litt, dette kan ta noen øyeblikk …","review.commit.loading.step.commit.done":"Endringer committed","review.commit.loading.step.commit.pending":"Commit av endringer","review.commit.loading.step.createPr.done":"Opprettet en pull request","review.commit.loading.step.createPr.pending":"Oppretter en pull request","review.commit.loading.step.push.done":"Pushet til gren {branch}","review.commit.loading.step.push.pending":"Pusher til gren {branch}","review.commit.loading.title.commit":"Commit av endringer","review.commit.loading.title.createPr":"Oppretter en PR","review.commit.loading.title.push":"Pusher endringer","review.commit.messageLabel":"Commit-melding","review.commit.messagePlaceholder":"La stå tomt for å autogenerere en commit-melding","review.commit.nextSteps":"Neste trinn","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit og opprett PR","review.commit.nextSteps.commitAndPush":"Commit og push","review.commit.nextSteps.prRequiresGh":"Krever GitHub CLI: {command}","review.commit.rows.changes":"Endringer","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# commiter}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# commiter}} og {stats}","review.commit.rows.fileCount":"{count, plural, one {# fil} other {# filer}}","review.commit.state.error.body":"Noe gikk galt under commit. Sjekk git-status og prøv igjen.","review.commit.state.error.title":"Commit mislyktes","review.commit.state.success.title":"Endringer committet","review.commit.untracked.loadingStats":"Laster inn ikke-sporede diff-statistikker …","reviewFindingAttachments.count":"{count, plural, one {# funn} other {# funn}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Rediger konfigurasjonen for å tilpasse agentens oppførsel","settings.agent.configuration.configToml.docs":"Dokumenter","settings.agent.configuration.subtitle":"Disse innstillingene gjelder overalt hvor Codex brukes","settings.automations.banner.danger":"Automatiseringer kjøres med de standard sandkasseinnstillingene dine, som for øyeblikket er satt til Full tilgang. Å kjøre bakgrunnsautomatiseringer med Full tilgang medfører økt risiko, siden Codex kan endre filer, kjøre kommandoer og få tilgang til nettverket uten å spørre. Vurder å oppdatere sandkasseinnstillingene til skrivetilgang for arbeidsområde, og bruke <rulesDocsLink>regler</rulesDocsLink> for å selektivt definere hvilke kommandoer agenten kan kjøre med full tilgang.","settings.automations.banner.defaultHowTo.default":"Automatiseringer kjører med de standard sandkasseinnstillingene dine. Verktøykall vil feile hvis de krever endringer av filer utenfor arbeidsområdet, tilgang til nettverk eller arbeid med apper på datamaskinen din. Du kan selektivt tillate at kommandoer kjøres utenfor sandkassen ved å bruke <rulesDocsLink>regler</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatiseringer kjører med standard sandkasseinnstillinger, som er satt til kun lesetilgang. Verktøykall vil feile hvis de krever endring av filer, tilgang til nettverk eller arbeid med apper på datamaskinen din. Vurder å oppdatere sandkasseinnstillingene til skrivetilgang for arbeidsområde.","settings.automations.cancel":"Avbryt","settings.automations.create":"Opprett","settings.automations.cwdEmpty":"Ingen prosjektmapper tilgjengelige","settings.automations.cwdLabel":"Prosjekter","settings.automations.cwdPlaceholder":"Velg en mappe","settings.automations.cwdSubtitle":"Hvis du vil at en automatisering skal kjøre på en bestemt gren, kan du spesifisere den i meldingen din.","settings.automations.delete":"Slett","settings.automations.dialog.editTitle":"Rediger automatisering","settings.automations.dialog.newTitle":"Ny automatisering","settings.automations.dialog.subtitle":"Automatiser gjentakende oppgaver i bakgrunnen. Codex legger funn i innboksen, eller arkiverer oppgaven automatisk hvis det ikke er noe å rapportere. <learnMoreLink>Finn ut mer</learnMoreLink>","settings.automations.dialog.title":"Opprett automatisering","settings.automations.executionCopy.git":"Automatiseringer kjører i bakgrunnen på dedikerte arbeidstrær.","settings.automations.executionCopy.nonGit":"Automatiseringer i prosjekter uten versjonskontroll kjøres direkte i prosjektmappen. Vurder å bruke Git for å aktivere kjøring på arbeidstrær i bakgrunnen.","settings.automations.executionEnvironment.local":"Lokal","settings.automations.executionEnvironment.worktree":"Arbeidstre","settings.automations.loading":"Laster ...","settings.automations.nameLabel":"Navn","settings.automations.namePlaceholder":"Sjekk for Sentry-problemer","settings.automations.pause":"Pause","settings.automations.promptLabel":"Melding","settings.automations.promptPlaceholder":"se etter krasjer i $Sentry","settings.automations.resume":"Gjenoppta","settings.automations.rruleSummaryFallback":"Egendefinert tidsplan","settings.automations.runNow":"Test","settings.automations.save":"Lagre","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} t","settings.automations.scheduleBadge.weekdays":"Ukedager","settings.automations.scheduleBadge.weekends":"Helgedager","settings.automations.scheduleHeader":"Tidsplan","settings.automations.scheduleHours":"timer","settings.automations.scheduleLabel":"Kjør hver(t)","settings.automations.scheduleMode.daily":"Daglig","settings.automations.scheduleMode.interval":"Intervall","settings.automations.scheduleModeLabel":"Type tidsplan","settings.automations.scheduleSummary.daily":"Daglig kl. {time}","settings.automations.scheduleSummary.interval":"Hver {count} t","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dag} other {# dager}}","settings.automations.scheduleSummary.intervalDays":"{interval} på {days}","settings.automations.scheduleSummary.intervalHourly":"Hver time","settings.automations.scheduleSummary.singleDay":"{day} kl. {time}","settings.automations.scheduleSummary.weekdays":"Ukedager kl. {time}","settings.automations.scheduleSummary.weekdaysLabel":"ukedager","settings.automations.scheduleSummary.weekends":"Helgedager kl. {time}","settings.automations.scheduleSummary.weekendsLabel":"helgedager","settings.automations.scheduleSummary.weekly":"{days} kl. {time}","settings.automations.scheduleWeekdays":"På","settings.automations.weekdayState.excluded":"Unntatt","settings.automations.weekdayState.included":"Inkludert","settings.conversationDetail.steps":"Trinn","settings.conversationDetail.steps.description":"Skjul kommandoer og utdata","settings.conversationDetail.stepsWithCommands":"Trinn med kodekommandoer","settings.conversationDetail.stepsWithCommands.description":"Vis kommandoer, skjul utdata","settings.conversationDetail.stepsWithOutput":"Trinn med kodeutdata","settings.conversationDetail.stepsWithOutput.description":"Vis kommandoer og utvid utdata","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ingen arkiverte chatter.","settings.dataControls.archivedChats.error":"Kunne ikke laste arkiverte chatter.","settings.dataControls.archivedChats.loading":"Laster arkiverte chatter …","settings.dataControls.archivedChats.unarchive":"Opphev arkivering","settings.dataControls.archivedChats.unarchiveError":"Kunne ikke oppheve arkivering av chat","settings.dataControls.archivedChats.unarchiveSuccess":"Arkivering av tråd opphevet. <viewNowLink>Vis nå</viewNowLink>","settings.dataControls.archivedChats.untitled":"Chat uten tittel","settings.editRow.headerPlaceholder":"Nøkkel","settings.editRow.removeEntry":"Fjern oppføring","settings.editRow.valuePlaceholder":"Verdi","settings.general.appearance":"Utseende","settings.general.appearance.codeFont":"Kodefont","settings.general.appearance.codeFont.description":"Juster skrifttypen og størrelsen som brukes for kode på tvers av samtaler og differ","settings.general.appearance.codeFontFamily":"Skriftfamilie for kode","settings.general.appearance.codeFontSize":"Skriftstørrelse for kode","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"La vinduer bruke en solid bakgrunn i stedet for systemets innstilling for gjennomsiktighet","settings.general.appearance.opaqueWindows.label":"Bruk ugjennomsiktig vindusbakgrunn","settings.general.appearance.sansFontFamily":"Sans-skriftfamilie","settings.general.appearance.sansFontFamily.description":"Juster skrifttypen som brukes for Codex UI","settings.general.appearance.sansFontSize":"Sans-skriftstørrelse","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Vis feiringseffekter i hele vinduet mens GPT-5.3-Codex-Spark kjører sin første runde","settings.general.appearance.sparkCelebrationEffects.label":"Spark-feiringseffekter","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Mørk","settings.general.appearance.theme.description":"Bruk lys, mørk eller det samme som systemet","settings.general.appearance.theme.light":"Lys","settings.general.appearance.theme.system":"System","settings.general.appearance.usePointerCursors.description":"Endre markøren til en peker når du holder musepekeren over interaktive elementer","settings.general.appearance.usePointerCursors.label":"Bruk pekermarkører","settings.general.enterBehavior.description":"Når aktivert, krever flerlinjede meldinger {modifierSymbol} + enter for å sende.","settings.general.enterBehavior.label":"Krev {modifierSymbol} + enter for å sende lange meldinger","settings.general.experimentalFeatures":"Eksperimentelle funksjoner (beta)","settings.general.experimentalFeatures.empty":"Ingen beta-eksperimentelle funksjoner tilgjengelige.","settings.general.experimentalFeatures.loading":"Laster eksperimentelle funksjoner …","settings.general.experimentalFeatures.restartNote":"Start Codex på nytt for å ta i bruk endringer i eksperimentelle funksjoner","settings.general.experimentalFeatures.toggle":"Vis/skjul {featureName}","settings.general.followUpQueueMode.description":"Sett oppfølginger i kø mens Codex kjører eller styr den pågående kjøringen","settings.general.followUpQueueMode.interrupt":"Styr","settings.general.followUpQueueMode.label":"Oppfølgingsoppførsel","settings.general.followUpQueueMode.queue":"Kø","settings.general.notifications":"Varsler","settings.general.power.preventSleepWhileRunning.description":"Hold datamaskinen våken mens Codex kjører en tråd.","settings.general.power.preventSleepWhileRunning.label":"Forhindre hvilemodus under kjøring","settings.git.branchPrefix.ariaLabel":"Prefiks for gren","settings.git.branchPrefix.description":"Prefiks som brukes når du oppretter nye grener i Codex","settings.git.branchPrefix.label":"Prefiks for gren","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Kunne ikke lagre grenprefiks","settings.git.branchPrefix.save.success":"Lagret grenprefiks","settings.git.commitInstructions.ariaLabel":"Commit-instruksjoner","settings.git.commitInstructions.description":"Lagt til i meldinger for generering av commit-meldinger","settings.git.commitInstructions.label":"Commit-instruksjoner","settings.git.commitInstructions.placeholder":"Legg til veiledning for commit-melding …","settings.git.commitInstructions.save":"Lagre","settings.git.commitInstructions.save.error":"Kunne ikke lagre commit-instruksjoner","settings.git.commitInstructions.save.success":"Commit-instruksjoner lagret","settings.git.forcePush.ariaLabel":"Alltid tving push","settings.git.forcePush.description":"Bruk --force-with-lease når du pusher fra Codex","settings.git.forcePush.label":"Alltid tving push","settings.git.forcePush.save.disabled":"Alltid tving push deaktivert","settings.git.forcePush.save.enabled":"Alltid tving push aktivert","settings.git.forcePush.save.error":"Kunne ikke lagre tving push-innstilling","settings.git.prInstructions.ariaLabel":"Instruksjoner for pull-forespørsel","settings.git.prInstructions.description":"Lagt til i pull-forespørselsbeskrivelser opprettet av Codex","settings.git.prInstructions.label":"Instruksjoner for pull-forespørsel","settings.git.prInstructions.placeholder":"Legg til veiledning for pull-forespørsel …","settings.git.prInstructions.save":"Lagre","settings.git.prInstructions.save.error":"Kunne ikke lagre instruksjoner for pull-forespørsel","settings.git.prInstructions.save.success":"Lagret instruksjoner for pull-forespørsel","settings.ide.defaultOpenTarget.description":"Der filer og mapper åpner som standard","settings.ide.defaultOpenTarget.label":"Standard destinasjon ved åpning","settings.ide.defaultOpenTarget.placeholder":"Ingen mål funnet","settings.ide.language.auto":"Automatisk deteksjon","settings.ide.language.autoOption":"Automatisk deteksjon","settings.ide.language.description":"Språk for appens brukergrensesnitt","settings.ide.language.label":"Språk","settings.ide.language.search":"Søk i språk","settings.layout.actionButton":"Start utvidelse på nytt","settings.layout.actionTitle":"Innstillinger med handling","settings.layout.fullWidthTitle":"Innstillinger (full bredde)","settings.layout.title":"Innstillinger","settings.localEnvironments.actions.add":"Legg til handling","settings.localEnvironments.actions.add.description":"Opprett en ny kommando for å kjøre fra verktøylinjen.","settings.localEnvironments.actions.add.save":"Lagre","settings.localEnvironments.actions.empty":"Legg til en handling for å kjøre kommandoer fra den lokale verktøylinjen.","settings.localEnvironments.actions.icon.debug":"Feilsøking","settings.localEnvironments.actions.icon.run":"Kjør","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Verktøy","settings.localEnvironments.actions.item.button.delete":"Slett","settings.localEnvironments.actions.item.command":"Handlingsskript","settings.localEnvironments.actions.item.name":"Navn","settings.localEnvironments.actions.item.platforms":"Plattformer","settings.localEnvironments.actions.item.platforms.help":"Kjør bare på et bestemt OS.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Valg av plattform","settings.localEnvironments.actions.item.platforms.specific":"Plattformspesifikk","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Slett","settings.localEnvironments.actions.title":"Handlinger","settings.localEnvironments.breadcrumb.back":"Tilbake","settings.localEnvironments.breadcrumb.edit":"rediger","settings.localEnvironments.breadcrumb.root":"Miljøer","settings.localEnvironments.environment.actions.description":"Disse handlingene kan kjøre alle kommandoer og vil bli vist i overskriften.","settings.localEnvironments.environment.actionsLabel":"Handlinger","settings.localEnvironments.environment.create":"Opprett lokalt miljø","settings.localEnvironments.environment.defaultName":"lokalt","settings.localEnvironments.environment.edit":"Rediger lokalt miljø","settings.localEnvironments.environment.empty":"Det er ikke konfigurert noe lokalt miljø for dette prosjektet enda.","settings.localEnvironments.environment.name":"Navn","settings.localEnvironments.environment.setup":"Konfigurasjonsskript","settings.localEnvironments.environment.setup.description":"Dette skriptet vil bli kjørt ved opprettelse av arbeidstre.","settings.localEnvironments.environment.setup.hint":"Kjøres i prosjektets rotmappe.","settings.localEnvironments.environment.setup.platformOverrides":"Plattformoverstyringer","settings.localEnvironments.environment.setup.platformOverrides.add":"Legg til {platform}-konfigurasjonsskript","settings.localEnvironments.environment.setup.platformOverrides.description":"Overstyrer standardskriptet for bestemte OS.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Fjern","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Miljødetaljer","settings.localEnvironments.file.missing":"Lagre for å opprette denne filen for første gang.","settings.localEnvironments.file.parseError":"Kan ikke tolke den eksisterende filen. Lagring vil overskrive den. ({error})","settings.localEnvironments.file.path":"Fil: {path}","settings.localEnvironments.file.readError":"Kunne ikke laste inn lokale miljødata. ({error})","settings.localEnvironments.file.title":"Lokal miljøfil","settings.localEnvironments.loading.body":"Henter prosjektkonfigurasjon.","settings.localEnvironments.loading.title":"Laster lokale miljøer","settings.localEnvironments.preview.devOnly":"(kun DEV)","settings.localEnvironments.preview.save":"Lagre","settings.localEnvironments.preview.saveError":"Kunne ikke lagre filen. ({error})","settings.localEnvironments.preview.title":"Forhåndsvisning","settings.localEnvironments.save.disabled.name":"Legg til et miljønavn for å lagre.","settings.localEnvironments.save.disabled.noChanges":"Ingen endringer å lagre.","settings.localEnvironments.save.disabled.saving":"Lagrer ...","settings.localEnvironments.save.success":"Lagret lokalt miljø","settings.localEnvironments.unavailable.body":"Vi kunne ikke laste inn lokale miljøinnstillinger for dette prosjektet.","settings.localEnvironments.unavailable.title":"Lokale miljøer er utilgjengelige","settings.localEnvironments.workspace.add":"Legg til prosjekt","settings.localEnvironments.workspace.title":"Prosjekt","settings.localEnvironments.workspaceSelect.addLabel":"Legg til miljø","settings.localEnvironments.workspaceSelect.description":"Lokale miljøer forteller Codex hvordan arbeidstrær skal settes opp for et prosjekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ingen prosjekter enda. Legg til et for å konfigurere lokale miljøer.","settings.localEnvironments.workspaceSelect.errorLabel":"Miljøet krever handling","settings.localEnvironments.workspaceSelect.learnMore":"Finn ut mer","settings.localEnvironments.workspaceSelect.listLabel":"Tilgjengelige prosjekter","settings.localEnvironments.workspaceSelect.loading":"Laster prosjekter.","settings.localEnvironments.workspaceSelect.loadingLabel":"Laster miljø","settings.localEnvironments.workspaceSelect.title":"Velg et prosjekt","settings.localEnvironments.workspaceSelect.viewAction":"Vis","settings.mcp.addServer":"Legg til server","settings.mcp.app.configure":"Konfigurer","settings.mcp.app.connect":"Koble til","settings.mcp.apps.refresh":"Oppdater","settings.mcp.detail.addArgument":"Legg til argument","settings.mcp.detail.addEnvVar":"Legg til miljøvariabel","settings.mcp.detail.addEnvVarPassthrough":"Legg til variabel","settings.mcp.detail.args":"Argumenter","settings.mcp.detail.back":"Tilbake","settings.mcp.detail.command":"Kommando for å starte","settings.mcp.detail.cwd":"Arbeidskatalog","settings.mcp.detail.docs":"Åpne MCP-dokumentasjon","settings.mcp.detail.docs.link":"Dokumenter","settings.mcp.detail.envVarPassthrough":"Videresending av miljøvariabler","settings.mcp.detail.envVars":"Miljøvariabler","settings.mcp.detail.http.addEnvHeader":"Legg til variabel","settings.mcp.detail.http.addHeader":"Legg til header","settings.mcp.detail.http.bearerToken":"Bærertoken env var","settings.mcp.detail.http.envHeaders":"Headere fra miljøvariabler","settings.mcp.detail.http.headers":"Headere","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Navn","settings.mcp.detail.save":"Lagre","settings.mcp.detail.switchTransportNotice":"Hvis du ønsker å bytte MCP-servertype, vennligst avinstaller først.","settings.mcp.detail.titleExisting":"Oppdater {name} MCP","settings.mcp.detail.titleNew":"Koble til en egendefinert MCP","settings.mcp.detail.transport.http":"Strømbar HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Avinstaller","settings.mcp.empty":"Ingen egendefinerte MCP-servere tilkoblet","settings.mcp.myServers":"Egendefinerte servere","settings.mcp.partnerServer.description.figma":"Generer bedre kode ved å hente inn full Figma-kontekst","settings.mcp.partnerServer.description.github":"Integrer med GitHub API-er for å automatisere arbeidsflyter og hente ut data","settings.mcp.partnerServer.description.linear":"Integrer med Linears feilsporing og prosjektstyring","settings.mcp.partnerServer.description.notion":"Les dokumenter, oppdater sider, administrer oppgaver","settings.mcp.partnerServer.description.playwright":"Integrer nettleserautomasjon for å implementere design og teste brukergrensesnitt.","settings.mcp.partnerServer.install":"Installer","settings.mcp.partnerServer.installAndAuthenticate":"Installer og autentiser","settings.mcp.partnerServer.logoAlt":"{label} logo","settings.mcp.partnerServer.manage":"Administrer","settings.mcp.partnerServer.vendor":"av {vendor}","settings.mcp.recommendedServers":"Anbefalte servere","settings.mcp.restartApp":"Start på nytt","settings.mcp.restartExtension":"Start utvidelse på nytt","settings.mcp.server.enable":"Aktiver","settings.mcp.server.login":"Autentiser","settings.mcp.server.settings":"Innstillinger","settings.multiselect.createOption":'Opprett "{value}"',"settings.multiselect.removeOption":"Fjern","settings.nav.account":"Konto","settings.nav.agent":"Konfigurasjon","settings.nav.ariaLabel":"Innstillinger","settings.nav.back":"Tilbake til appen","settings.nav.data-controls":"Arkiverte tråder","settings.nav.environments":"Skymiljøer","settings.nav.externalTooltip":"[alfa] Åpner i nettleser","settings.nav.general-settings":"Generelt","settings.nav.git-settings":"Git","settings.nav.local-environments":"Miljøer","settings.nav.mcp-settings":"MCP-servere","settings.nav.notImplemented":"[alfa] Ikke tilgjengelig i alfa","settings.nav.personalization":"Personlig tilpasning","settings.nav.skills-settings":"Ferdigheter","settings.nav.usage-analytics":"Bruk og analyse","settings.nav.worktrees":"Arbeidstrær","settings.openSourceLicenses.back":"Tilbake","settings.openSourceLicenses.loading":"Laster ...","settings.openSourceLicenses.missing":"Ingen tredjepartsmerknader ble funnet.","settings.openSourceLicenses.notSupported":"Ikke tilgjengelig på denne verten.","settings.openSourceLicenses.rowDescription":"Tredjepartsmerknader for medfølgende avhengigheter","settings.openSourceLicenses.rowLabel":"Åpen kildekode-lisenser","settings.openSourceLicenses.subtitle":"Tredjepartsmerknader for avhengigheter som er inkludert i denne appen","settings.openSourceLicenses.title":"Åpen kildekode-lisenser","settings.openSourceLicenses.view":"Vis","settings.personalization.agents.description":"Rediger instruksjoner som tilpasser Codex til deg. {learnMore}","settings.personalization.agents.learnMore":"Finn ut mer","settings.personalization.agents.loadError":"Kunne ikke laste agents.md.","settings.personalization.agents.loading":"Laster agents.md…","settings.personalization.agents.placeholder":"Legg til egendefinerte instruksjoner …","settings.personalization.agents.retry":"Prøv på nytt","settings.personalization.agents.save":"Lagre","settings.personalization.agents.save.error":"Kunne ikke lagre agents.md","settings.personalization.agents.save.success":"Lagret agents.md","settings.personalization.agents.title":"Egendefinerte instruksjoner","settings.personalization.personality.description":"Velg en standardtone for Codex-svar","settings.personalization.personality.label":"Personlighet","settings.sample.contentBody":"Bruk denne layouten for å sette sammen innstillingspanelene dine med jevn avstand.","settings.sample.contentTitle":"Eksempel på innholdsblokk","settings.section.account":"Konto","settings.section.agent":"Konfigurasjon","settings.section.data-controls":"Arkiverte tråder","settings.section.environments":"Skymiljøer","settings.section.external":"Åpnes i nettleseren din under alfa","settings.section.general-settings":"Generelt","settings.section.git-settings":"Git","settings.section.local-environments":"Miljøer","settings.section.mcp-settings":"MCP-servere","settings.section.mcp-settings.docs":"Dokumenter","settings.section.mcp-settings.subtitle":"Koble til eksterne verktøy og datakilder.","settings.section.personalization":"Personlig tilpasning","settings.section.skills-settings":"Ferdigheter","settings.section.unavailable":"Ikke tilgjengelig i alfa enda","settings.section.usage-analytics":"Bruk og analyse","settings.section.worktrees":"Arbeidstrær","settings.threadDetail.description":"Velg hvor mye utdata fra kommandoer som skal vises i tråder","settings.threadDetail.label":"Tråddetalj","settings.worktrees.conversation.untitled":"Samtale uten tittel","settings.worktrees.delete.error":"Kunne ikke slette arbeidstre","settings.worktrees.empty.body":"Arbeidstrær opprettet av Codex vil vises her.","settings.worktrees.empty.title":"Ingen arbeidstrær enda","settings.worktrees.error.body":"Noe gikk galt under lasting av arbeidstrær.","settings.worktrees.error.retry":"Prøv på nytt","settings.worktrees.error.title":"Kunne ikke laste arbeidstrær","settings.worktrees.loading.body":"Henter informasjon om arbeidstrær.","settings.worktrees.loading.title":"Laster arbeidstrær","settings.worktrees.repository.loading":"Laster inn metadata for repositorium …","settings.worktrees.repository.unknown":"Ukjent repositorium","settings.worktrees.row.conversations":"Samtaler","settings.worktrees.row.conversations.empty":"Ingen samtaler knyttet til dette arbeidstreet.","settings.worktrees.row.conversations.loading":"Laster samtaler …","settings.worktrees.row.delete":"Slett","settings.worktrees.row.title":"Arbeidstre","sidebarElectron.addWorkspaceRoot":"Legg til nytt prosjekt","sidebarElectron.archiveThread":"Arkiver tråd","sidebarElectron.archiveThreadError":"Kunne ikke arkivere tråd","sidebarElectron.collapseFolder":"Skjul mappe","sidebarElectron.createStableWorktree.dialog.cancel":"Avbryt","sidebarElectron.createStableWorktree.dialog.create":"Opprett","sidebarElectron.debugNavLink":"Feilsøking","sidebarElectron.editWorkspaceRootOptionName":"Rediger navn","sidebarElectron.expandFolder":"Utvid mappe","sidebarElectron.groupByMenu.recency":"Kronologisk liste","sidebarElectron.groupByMenu.title":"Organiser","sidebarElectron.groupByMenu.workspace":"Etter prosjekt","sidebarElectron.inboxRouteNavLink":"Automatiseringer","sidebarElectron.markThreadUnread":"Merk som ulest","sidebarElectron.missingWorkspaceRoot":"Denne prosjektmappen ble slettet eller flyttet","sidebarElectron.newThread":"Ny tråd","sidebarElectron.newThreadInGroup":"Start ny tråd i {folder}","sidebarElectron.noRecentThreads":"Ingen nylige tråder","sidebarElectron.noTasks":"Ingen tråder","sidebarElectron.noTasks.start":"Legg til et nytt prosjekt","sidebarElectron.noTasksWithFilter":"Ingen tråder samsvarer med filtre","sidebarElectron.pinnedThreads":"Festede tråder","sidebarElectron.recentNavLink":"Tråder","sidebarElectron.recentThreads":"Nylige tråder","sidebarElectron.removeWorkspaceRootOption":"Fjern","sidebarElectron.renameThread":"Gi nytt navn til tråd","sidebarElectron.renameThreadDialogAriaLabel":"Trådtittel","sidebarElectron.renameThreadDialogCancel":"Avbryt","sidebarElectron.renameThreadDialogPlaceholder":"Legg til en tittel …","sidebarElectron.renameThreadDialogSave":"Lagre","sidebarElectron.renameThreadDialogSubtitle":"Hold den kort og gjenkjennelig.","sidebarElectron.renameThreadDialogTitle":"Gi nytt navn til tråd","sidebarElectron.renameThreadError":"Kunne ikke endre navn på tråd","sidebarElectron.renameWorkspaceRootOptionLabel":"Visningsnavn","sidebarElectron.showLess":"Vis mindre","sidebarElectron.showMenu.all":"Alle tråder","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Vis kun nylige tråder for gjeldende gren, arbeidstrær eller andre tråder som krever din oppmerksomhet","sidebarElectron.showMenu.title":"Vis","sidebarElectron.showMenu.tooltip":"Filtrer, sorter og organiser tråder","sidebarElectron.showMenu.trigger":"Filtrer tråder i sidepanelet","sidebarElectron.showMore":"Vis mer","sidebarElectron.skillsRouteNavLink":"Ferdigheter","sidebarElectron.sortMenu.created":"Opprettet","sidebarElectron.sortMenu.title":"Sorter etter","sidebarElectron.sortMenu.updated":"Oppdatert","sidebarElectron.taskNavigation":"Automatiseringsmapper","sidebarElectron.tasksInFolder":"Automatiseringer i {folder}","sidebarElectron.workspaceOptions":"Prosjekthandlinger for {folder}","sidebarElectron.worktreeGroupTooltip":"Dette er et git-arbeidstre","skills.appsPage.createSkill":"Ny ferdighet","skills.appsPage.empty.skills":"Ingen ferdigheter funnet","skills.appsPage.search.skills":"Søk i ferdigheter","skills.appsPage.search.skills.label":"Søk i ferdigheter","skills.appsPage.section.installedApps":"Installert","skills.appsPage.section.skills":"Ferdigheter","skills.appsPage.subheading":"Gi Codex superkrefter.<link>Finn ut mer</link>","skills.appsPage.tab.recommended":"Anbefalt","skills.appsPage.tab.skills":"Ferdigheter","skills.card.contentsError":"Kan ikke laste inn ferdighetsinnhold.","skills.card.disable":"Deaktiver","skills.card.disableSuccess":"{skillName} ferdighet deaktivert","skills.card.disabledBadge":"Deaktivert","skills.card.enable":"Aktiver","skills.card.enableSuccess":"{skillName} ferdighet aktivert","skills.card.loadingContents":"Laster ferdighetsinnhold ...","skills.card.more":"Flere handlinger","skills.card.open":"Åpne","skills.card.removeFailed":"Kunne ikke avinstallere ferdighet","skills.card.removeSuccess":"{skillName} ferdighet avinstallert","skills.card.toggleEnabledError":"Kunne ikke oppdatere ferdighet","skills.card.try":"Prøv","skills.card.trySkill":"Prøv ferdighet","skills.card.uninstall":"Avinstaller","skills.hero.dotLabel":"Gå til lysbilde {index}","skills.hero.next":"Neste fremhevede ferdighet","skills.hero.trySkill":"Prøv ferdighet","skills.page.createSkill":"Ny ferdighet","skills.page.empty":"Ingen ferdigheter funnet","skills.page.filteredEmpty":"Ingen ferdigheter samsvarer med filtrene dine","skills.page.filteredEmptyDescription":"Prøv å justere søket eller omfangsfiltrene dine","skills.page.heading":"Ferdigheter","skills.page.loading":"Laster ferdigheter ...","skills.page.refreshSkills":"Oppdater","skills.page.refreshSkillsToUseNew":"Oppdater for å bruke ny(e) ferdighet(er)","skills.page.search":"Søk i ferdigheter","skills.page.search.label":"Søk i ferdigheter","skills.page.subheading":"Gi Codex superkrefter.<link>Finn ut mer</link>","skills.preview.copyPrompt":"Kopier melding","skills.preview.examplePrompt":"Eksempel på melding","skills.recommended.error":"Kunne ikke laste anbefalte ferdigheter","skills.recommended.install":"Installer","skills.recommended.installSkill":"Installer ferdighet","skills.recommended.installSuccess":"{skillName} ferdighet installert","skills.recommended.installed":"Installert","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Installert av administrator","skills.scope.builtIn":"System","skills.scope.personal":"Personlig","skills.scope.repo":"Repositorium","skills.scope.system":"System","skills.scope.team":"Team","skills.scope.user":"Bruker","skills.section.installed":"Installert","skills.section.recommended":"Anbefalt","story.slidingToggle.existing":"Eksisterende","story.slidingToggle.fromLocal":"Fra lokalt","story.slidingToggle.new":"Ny","story.slidingToggle.toLocal":"Til lokalt","terminal.close":"Lukk terminal","terminal.title":"Terminal","thinkingShimmer.default":"Tenker","threadEnvIcon.cloudTooltip":"Denne samtalen kjører i Codex Cloud.","threadEnvIcon.localTooltip":"Denne samtalen kjører lokalt.","threadEnvIcon.worktreeTooltip":"Denne samtalen kjører i et lokalt git-arbeidstre.","threadHeader.archiveConfirmCancel":"Avbryt","threadHeader.archiveConfirmConfirm":"Arkiver","threadHeader.copySessionId":"Kopier økt-ID","threadHeader.copyWorkingDirectory":"Kopier arbeidskatalog","threadHeader.forkIntoLocal":"Forgren til lokal","threadHeader.forkIntoWorktree":"Forgren til et nytt arbeidstre","threadHeader.forkPendingWorktreePrompt":"Forgren denne samtalen til et nytt arbeidstre.","threadHeader.forkPendingWorktreeTitle":"Forgrenet samtale","threadHeader.forkThreadError":"Kunne ikke forgrene tråd","threadHeader.forkThreadRequiresGitRepo":"Forgrening til et nytt arbeidstre krever et git-repositorium","threadHeader.moreActions":"Trådhandlinger","threadPage.newThread":"Ny tråd","threadPage.runAction.changeEnvironment":"Endre miljø","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} handlinger","threadPage.runAction.environmentSelector.label":"Velg miljø","threadPage.runAction.label":"Kjør","threadPage.runAction.missing.label":"Sett opp en handling for kjøring","threadPage.runAction.setup.commandLabel":"Kommando for å kjøre","threadPage.runAction.setup.description":"Fortell Codex hvordan du installerer avhengigheter og starter appen din.","threadPage.runAction.setup.editMore":"Miljøinnstillinger","threadPage.runAction.setup.placeholder":"f.eks.: npm install npm run","threadPage.runAction.setup.submit":"Lagre og kjør","threadPage.runAction.setup.title":"Kjør","threadPage.runAction.tooltip.withEnvironment":"{environmentName} handlinger","threadPage.toggleDiffPanel":"Vis/skjul diff-panel","threadPage.toggleTerminal":"Vis/skjul terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Åpne mappe","toolSummaryForCmd.exploredFiles":"<verb>Oppførte</verb> filer","toolSummaryForCmd.exploredFilesInPath":"<verb>Oppførte</verb> filer i {path}","toolSummaryForCmd.exploringFiles":"<verb>Oppfører</verb> filer","toolSummaryForCmd.exploringFilesInPath":"<verb>Oppfører</verb> filer i {path}","toolSummaryForCmd.ranGenericCommand":"<status>Kjørte kommando</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Kjørte</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lest</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Kjører kommando</status>{timer}","toolSummaryForCmd.runningTimer":"for {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Søkte</verb> etter {query}","toolSummaryForCmd.searchedForFiles":"<verb>Søkte</verb> etter filer","toolSummaryForCmd.searchedForInPath":"<verb>Søkte</verb> etter {query} i {path}","toolSummaryForCmd.searchingFor":"<verb>Søker</verb> etter {query}","toolSummaryForCmd.searchingForFiles":"<verb>Søker</verb> etter filer","toolSummaryForCmd.searchingForInPath":"<verb>Søker</verb> etter {query} i {path}","traceRecording.startDetails.cancel":"Avbryt","wham.diff.addComment":"Legg til kommentar","wham.diff.binaryFile":"Binærfil ikke vist","wham.diff.noContent":"Ingen innhold","wham.fileTag.deleted":"Slettet","wham.fileTag.new":"Ny","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} t","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} md","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} u","wham.formattedRelativeDateTime.compactYearsAgo":"{value} å","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Arbeider på oppgaven din","wham.whamProposedTask.title":"Foreslått oppgave","wham.whamProposedTask.useSuggestion":"Bruk forslag","workspaceRootDialog.addError":"Kunne ikke legge til prosjekt","workspaceRootDialog.cancel":"Avbryt","workspaceRootDialog.confirmAdd":"Legg til prosjekt","workspaceRootDialog.confirmPick":"Bruk prosjekt","workspaceRootDialog.description":"Angi en bane på {host} som skal brukes som et prosjekt.","workspaceRootDialog.pathLabel":"Prosjektbane","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Legg til prosjektbane","workspaceRootDialog.title.pick":"Velg prosjektbane","worktreeInitV2.cancel":"Avbryt","worktreeInitV2.notification.failedTitle":"Konfigurasjon av arbeidstre mislyktes","worktreeInitV2.output.empty":"Venter på utdata …","worktreeInitV2.status.error":"Konfigurasjon av arbeidstre mislyktes.","worktreeInitV2.status.running":"Opprett et arbeidstre og kjør konfigurasjon.","worktreeInitV2.status.runningFork":"Oppretter et arbeidstre for å forgrene denne samtalen.","worktreeInitV2.status.success":"Arbeidstre klart.","worktreeInitV2.title":"Oppretter arbeidstre","worktreeInitV2.workLocallyInstead":"Jobb lokalt i stedet","worktreeRestoreBanner.body":"Denne trådens arbeidstre ble fjernet for å spare diskplass","worktreeRestoreBanner.missing.body":"Denne trådens arbeidskatalog finnes ikke lenger","worktreeRestoreBanner.missing.title":"Gjeldende arbeidskatalog mangler","worktreeRestoreBanner.restore.error":"Kunne ikke gjenopprette arbeidstre: {message}","worktreeRestoreBanner.restore.success":"Arbeidstre gjenopprettet","worktreeRestoreBanner.restoreCta":"Gjenopprett arbeidstre","worktreeRestoreBanner.title":"Arbeidstre ryddet opp"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopier","app.sidebar.hide":"Skjul sidefelt","app.sidebar.show":"Vis sidefelt","app.sidebar.tooltip":"Vis/skjul sidefelt","appHeader.installUpdate":"Oppdater","appSunset.body":"Denne versjonen av appen støttes ikke lenger. Vennligst last ned den nyeste versjonen <here>her</here>.","appSunset.title":"Oppdatering kreves","automation.updateDirective.create":"Opprett","automation.updateDirective.open":"Åpne","automation.updateDirective.untitled":"Automasjon uten tittel","automation.updateDirective.update":"Oppdater","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# forsøk} other {# forsøk}}","cloudTaskRow.archiveError":"Kunne ikke arkivere oppgave","code.diff.requestChange":"Be om endring","code.diffComment.cancel":"Avbryt","code.diffComment.comment":"Kommentar","code.diffComment.delete":"Slett","code.diffComment.save":"Lagre","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Ingen funn ble rapportert.","codex.alert.closeAriaLabel":"Lukk","codex.appUpsellBanner.cbpApi.message":"Bygg raskere med Codex-appen. Last ned nå eller {learnMoreLink}.","codex.appUpsellBanner.download":"Last ned","codex.appUpsellBanner.freeGo.message":"Codex er inkludert i planen din frem til og med 2. mars. Prøv Codex-appen for å bygge raskere.","codex.appUpsellBanner.later":"Senere","codex.appUpsellBanner.learnMoreLowercase":"finn ut mer","codex.appUpsellBanner.new":"Ny","codex.appUpsellBanner.proPlusBusiness.message":"Prøv Codex-appen med 2x bruksgrenser frem til 2. april. Last ned nå eller {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-app","codex.applyDropdown.header.changes":"Endringer","codex.applyDropdown.header.fileCount":"{count, plural, one {# fil} other {# filer}}","codex.applyDropdown.header.rows":"rader","codex.applyDropdown.header.title":"Bruk endringer","codex.applyDropdown.header.workspace":"Prosjekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fil i konflikt:} other {{count} filer i konflikt:}}","codex.applyDropdown.results.empty":"Ingen filer ble kopiert","codex.applyDropdown.results.skipped":"{count, plural, one {1 fil hoppet over:} other {{count} filer hoppet over:}}","codex.applyOrRevertBanner.apply":"Bruk","codex.applyOrRevertBanner.applyMessage":"Bruk endringer og fortsette lokalt?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Denne oppgaven ble laget i {environment}, så det fungerer kanskje ikke riktig.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Endringer laget i {environment}, så det fungerer kanskje ikke riktig.","codex.applyOrRevertBanner.reapply":"Bruk på nytt","codex.applyOrRevertBanner.revert":"Gjør om","codex.applyOrRevertBanner.revertMessage":"Gjør om brukte endringer?","codex.applyResultsDialog.applied":"Anvendt uten problemer ({count})","codex.applyResultsDialog.close":"Lukk","codex.applyResultsDialog.conflicted":"I konflikt ({count})","codex.applyResultsDialog.noDetails":"Ingen tilgjengelige fildetaljer.","codex.applyResultsDialog.skipped":"Hoppet over ({count})","codex.applyResultsDialog.title":"Bruk resultater","codex.archiveInfo":"Vis arkiverte chatter i {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Datakontroller","codex.archiveInfo.electron":"Vis arkiverte chatter i {settingsLink}","codex.archiveInfo.extension":"Vis arkiverte samtaler i .codex-mappen din.","codex.archiveInfo.settingsLink":"Innstillinger","codex.banner.content.description":"Kjør oppgaver parallelt, spor fremgang overalt og gjennomgå PR-er med AI.","codex.banner.content.headline":"Codex gjør alt.","codex.cloudTaskRow.archiveTask":"Arkiver oppgave","codex.cloudTaskRow.confirmArchiveTask":"Bekreft","codex.command.feedback":"Tilbakemelding","codex.command.findInThread":"Finn","codex.command.forceReloadSkills":"Tving ny innlasting av ferdigheter","codex.command.logOut":"Logg ut","codex.command.manageTasks":"Administrer oppgaver","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Tilbake","codex.command.navigateForward":"Fremover","codex.command.newThread":"Ny tråd","codex.command.nextThread":"Neste tråd","codex.command.openFolder":"Åpne mappe","codex.command.openSkills":"Gå til ferdigheter","codex.command.openThreadOverlay":"Åpne tråd i eget vindu","codex.command.personalitySettings":"Personlighet","codex.command.previousThread":"Forrige tråd","codex.command.settings":"Innstillinger","codex.command.toggleDiffPanel":"Vis/skjul diff-panel","codex.command.toggleSidebar":"Vis/skjul sidefelt","codex.command.toggleTerminal":"Vis/skjul terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"Konfigurer","codex.commandGroup.navigation":"Navigasjon","codex.commandGroup.panels":"Paneler","codex.commandGroup.skills":"Ferdigheter","codex.commandGroup.thread":"Tråd","codex.commandGroup.workspace":"Prosjekt","codex.commandMenu.noResults":"Ingen treff","codex.commandMenu.searchPlaceholder":"Søk i kommandoer","codex.commandMenu.suggestedGroup":"Foreslått","codex.commandMenu.switchWorkspace":"Bytt prosjekt","codex.commandMenu.title":"Kommandomeny","codex.common.retry":"Prøv på nytt","codex.composer.searchBranches":"Søk i grener","codex.dialog.basic.body":"Dette er en modal-dialog som bruker wrapperen vår rundt Radix Dialog.","codex.dialog.basic.cancel":"Avbryt","codex.dialog.basic.confirm":"Bekreft","codex.dialog.basic.open":"Åpne dialog","codex.dialog.basic.title":"Eksempeldialog","codex.dialog.long.close":"Lukk","codex.dialog.long.line":"Skrollbar linje {index} for å vise langt innhold inne i dialogen.","codex.dialog.long.open":"Åpne lang dialog","codex.dialog.long.title":"Dialog med langt innhold","codex.dialog.unstyled.body":"Denne historien viser hvordan det som kaller kan ha full kontroll over formateringen av dialoginnholdet.","codex.dialog.unstyled.open":"Åpne uformatert dialog","codex.dialog.unstyled.title":"Uformatert innhold","codex.diff.openInEditorPrompt.openButton":"Åpne i redigeringsprogram","codex.diff.openInEditorPrompt.singleLine":"Denne filen er for stor til å vises her.","codex.diffView.failedToDecodeBase64Diff":"Kunne ikke dekode base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {# fil endret} other {# filer endret}}","codex.diffView.imagePreviewAlt":"Forhåndsvisning av bilde","codex.diffView.imagePreviewEmpty":"Ingen bilde","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Ingen diff-data","codex.diffView.pdfPreview.nextPage":"Neste side","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Forrige side","codex.diffView.pdfPreviewEmpty":"Ingen PDF-forhåndsvisning","codex.diffView.pdfPreviewError":"Kunne ikke gjengi PDF-forhåndsvisning","codex.diffView.richPreviewDisable":"Deaktiver rik forhåndsvisning","codex.diffView.richPreviewEnable":"Aktiver rik forhåndsvisning","codex.diffView.richPreviewLoading":"Laster forhåndsvisning …","codex.diffView.richPreviewToggle":"Vis/skjul rik forhåndsvisning","codex.diffView.switchToUnified":"Bytt til unified diff","codex.environmentSelector.noEnvironment":"Ingen miljø","codex.environments.environmentSettings":"Miljøinnstillinger","codex.environments.learnMore":"Finn ut mer","codex.environments.listError":"Kunne ikke laste inn miljøer.","codex.environments.noEnvironmentsFound":"Ingen miljøer funnet","codex.environments.searchError":"Kunne ikke søke i miljøer.","codex.errorBoundary.genericError":"Oisann, det oppsto en feil","codex.errorBoundary.goHome":"Prøv på nytt","codex.file.patch.missing":"Kunne ikke opprette endring for denne filen.","codex.gallery.automations.cwdLabel":"Prosjekter","codex.gallery.automations.nameLabel":"Navn","codex.gallery.automations.namePlaceholder":"Oppsummer en oppgave","codex.gallery.automations.promptLabel":"Melding","codex.gallery.automations.promptPlaceholder":"Beskriv hva Codex skal gjøre","codex.gallery.dialogs.automation.label":"Automatiseringsdialog","codex.gallery.dialogs.basic.body":"Bruk dette oppsettet for enkle bekreftelser eller korte skjemaer.","codex.gallery.dialogs.basic.cancel":"Avbryt","codex.gallery.dialogs.basic.confirm":"Bekreft","codex.gallery.dialogs.basic.label":"Grunnleggende dialog","codex.gallery.dialogs.basic.title":"Eksempeldialog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Beskriv problemet","codex.gallery.dialogs.feedbackSubmission.bad":"Dårlig resultat","codex.gallery.dialogs.feedbackSubmission.bug":"Feil","codex.gallery.dialogs.feedbackSubmission.good":"Bra resultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inkluder logger for nåværende Codex-økt","codex.gallery.dialogs.feedbackSubmission.label":"Innsending av tilbakemelding","codex.gallery.dialogs.feedbackSubmission.other":"Annet","codex.gallery.dialogs.feedbackSubmission.placeholder":"Beskriv problemet her","codex.gallery.dialogs.feedbackSubmission.submit":"Send inn","codex.gallery.dialogs.feedbackSubmission.title":"Tilbakemelding","codex.gallery.dialogs.feedbackSuccess.body":"Tilbakemelding lastet opp. Hvis problemet vedvarer, vennligst åpne en GitHub-henvendelse eller oppgi tråd-ID i en eksisterende åpen henvendelse:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Avvis","codex.gallery.dialogs.feedbackSuccess.label":"Tilbakemelding fullført","codex.gallery.dialogs.feedbackSuccess.title":"Tilbakemelding lastet opp","codex.gallery.dialogs.gitApplyResults.applied":"Anvendt uten problemer (2)","codex.gallery.dialogs.gitApplyResults.close":"Lukk","codex.gallery.dialogs.gitApplyResults.conflicted":"I konflikt (1)","codex.gallery.dialogs.gitApplyResults.label":"Bruk resultater","codex.gallery.dialogs.gitApplyResults.title":"Bruk resultater","codex.gallery.dialogs.gitPushError.body":"Hent de siste endringene eller bruk tvungen push hvis du vet at den eksterne historikken er trygg å overskrive.","codex.gallery.dialogs.gitPushError.cancel":"Avbryt","codex.gallery.dialogs.gitPushError.force":"Tving push","codex.gallery.dialogs.gitPushError.label":"Push-feil","codex.gallery.dialogs.gitPushError.subtitle":"Grenen din ligger bak opprinnelig/hoved.","codex.gallery.dialogs.gitPushError.title":"Kunne ikke pushe endringer","codex.gallery.dialogs.gitRevert.cancel":"Avbryt","codex.gallery.dialogs.gitRevert.confirm":"Gjør om","codex.gallery.dialogs.gitRevert.label":"Tilbakestill endringer","codex.gallery.dialogs.gitRevert.skip":"Ikke spør på nytt","codex.gallery.dialogs.gitRevert.subtitle":"Denne handlingen fjerner alle disse endringene.","codex.gallery.dialogs.gitRevert.title":"Vil du tilbakestille endringer?","codex.gallery.dialogs.longForm.label":"Dialog på langt format","codex.gallery.dialogs.proseModal.body":"Denne modalstilen brukes til lengre instruksjoner, introduksjoner eller blokker med rikt innhold.","codex.gallery.dialogs.proseModal.close":"Lukk","codex.gallery.dialogs.proseModal.subtitle":"Del mer utførlig veiledning eller dokumentasjon her.","codex.gallery.dialogs.proseModal.title":"Prosamodal","codex.gallery.dialogs.submitBlocked.label":"Innsending blokkert","codex.gallery.dialogs.submitBlocked.message":"Meldingen din kunne ikke sendes fordi prosjektet ikke er tilgjengelig.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Kunne ikke sende melding","codex.gallery.dialogs.title":"Dialoger","codex.gallery.dropdown.filterPlaceholder":"Filtrer elementer","codex.gallery.dropdowns.actionRow":"Handlingsrader","codex.gallery.dropdowns.actionRow.disabled":"Deaktivert handling","codex.gallery.dropdowns.actionRow.primary":"Primærhandling","codex.gallery.dropdowns.actionRow.secondary":"Sekundærhandling","codex.gallery.dropdowns.actionRow.trigger":"Vis handlinger","codex.gallery.dropdowns.basic":"Grunnleggende nedtrekksmeny","codex.gallery.dropdowns.basic.newFile":"Ny fil","codex.gallery.dropdowns.basic.newFolder":"Ny mappe","codex.gallery.dropdowns.basic.openSettings":"Åpne innstillinger","codex.gallery.dropdowns.basic.title":"Hurtighandlinger","codex.gallery.dropdowns.basic.trigger":"Åpne meny","codex.gallery.dropdowns.basic.upload":"Last opp","codex.gallery.dropdowns.panel":"Panelflate","codex.gallery.dropdowns.panel.apply":"Bruk","codex.gallery.dropdowns.panel.body":"Gå gjennom differ og bruk dem på prosjektet ditt.","codex.gallery.dropdowns.panel.preview":"Forhåndsvisning","codex.gallery.dropdowns.panel.title":"Bruk endringer","codex.gallery.dropdowns.panel.trigger":"Åpne panel","codex.gallery.dropdowns.search":"Søkbar nedtrekksmeny","codex.gallery.dropdowns.search.first":"Alfakanal","codex.gallery.dropdowns.search.second":"Betagren","codex.gallery.dropdowns.search.third":"Lanseringskandidat","codex.gallery.dropdowns.search.trigger":"Filtrer elementer","codex.gallery.dropdowns.submenu":"Nedtrekksmeny med undermeny","codex.gallery.dropdowns.submenu.optionA":"Project alfa","codex.gallery.dropdowns.submenu.optionB":"Prosjekt beta","codex.gallery.dropdowns.submenu.optionC":"Prosjekt gamma","codex.gallery.dropdowns.submenu.primary":"Tilordne eier","codex.gallery.dropdowns.submenu.secondary":"Flytt til","codex.gallery.dropdowns.submenu.tertiary":"Arkiver","codex.gallery.dropdowns.submenu.trigger":"Velg handling","codex.gallery.dropdowns.title":"Nedtrekksmenyer","codex.gallery.inbox.automations.close":"Lukk","codex.gallery.inbox.automations.popover.cardTitle":"Administrer automatiseringer","codex.gallery.inbox.automations.popover.dialogTitle":"Administrer automatiseringer","codex.header.settingsTooltip":"Innstillinger","codex.hunk.patch.error":"Kunne ikke indeksere","codex.hunk.patch.missing":"Kunne ikke opprette endring for denne hunken.","codex.hunk.patch.partialSuccess":"Delvis suksess","codex.hunk.patch.revertError":"Kunne ikke uindeksere","codex.hunk.patch.revertSuccess":"Vellykket uindeksering","codex.hunk.patch.success":"Vellykket indeksering","codex.legal.autonomy.details":"Se {link} for flere detaljer","codex.legal.autonomy.details.link":"Codex-dokumenter","codex.legal.autonomy.title":"Bestem hvor mye autonomi du vil gi","codex.legal.backButton":"Tilbake","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt","codex.legal.cloud.taskOne.title":"Forklar repositoriet til en ny designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8. okt","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Lag et mørk modus-tema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Fiks en feil i introduksjonen","codex.legal.continue.apikey":"Fortsett","codex.legal.continueButton":"Neste","codex.legal.copilot.details":"Bruker Copilot-abonnementet ditt for alle modellkall, fakturering og bruksgrenser. Bruk av Codex-utvidelse er underlagt både {oaiTos} og {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHub vilkår for bruk","codex.legal.copilot.oaiTosLink":"OpenAI Codex vilkår for bruk","codex.legal.copilot.title":"Drevet av GitHub Copilot","codex.legal.mistakes.review":"Gjennomgå koden den skriver og kommandoene den kjører","codex.legal.mistakes.title":"Codex kan gjøre feil","codex.legal.powered.details":"Bruker abonnementets bruksgrenser og {link}","codex.legal.powered.details.link":"preferanser for opplæringsdata","codex.legal.powered.title":"Drevet av ChatGPT-kontoen din","codex.legal.step.cloud.subtitle":"Send oppgaver til Codex for bakgrunnskjøring slik at du kan holde fokus og jobbe raskere.","codex.legal.step.cloud.title":"Overlever til Codex i skyen","codex.legal.step.intro.subtitle":"Codex navigerer, redigerer, kjører kommandoer og utfører tester direkte i repositoriet. Drevet av ChatGPT-kontoen din.","codex.legal.step.intro.title":"Codex i IDE","codex.legal.step.todo.subtitle":"Skriv en TODO-kommentar og konverter den til en Codex-oppgave med ett enkelt klikk.","codex.legal.step.todo.title":"Gjør TODO-er om til Codex-oppgaver","codex.legal.todo.heading":"// TODO: implementer skjema","codex.localConversation.closeImagePreview":"Lukk forhåndsvisning av bilde","codex.localConversation.userImageAttachment":"Brukervedlegg","codex.localTaskRow.archiveTask":"Arkiver tråd","codex.localTaskRow.awaitingApproval":"Venter på godkjenning","codex.localTaskRow.awaitingResponse":"Venter på svar","codex.localTaskRow.confirmArchiveTask":"Bekreft","codex.loggedOut.apiKeyPrompt.cancel":"Avbryt","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Få API-nøkkel","codex.loggedOut.apiKeyPrompt.inputLabel":"Skriv inn din OpenAI API-nøkkel","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Skyoppgaver deaktivert med API-nøkkel","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Skyoppgaver deaktivert med Copilot og API-nøkkel","codex.loggedOut.signIn":"Logg inn med ChatGPT","codex.loggedOut.signIn.cancel":"Avbryt innlogging","codex.loggedOut.signInWithCopilot":"Logg inn med GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Bruk API-nøkkel","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} verktøy","codex.mcpTool.collapsedLabel.verb.called":"Kalt","codex.mcpTool.collapsedLabel.verb.calling":"Kaller","codex.mcpTool.embeddedResource.contentLabel":"Innhold","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-type","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Verktøyet returnerte ikke noe innhold","codex.mcpTool.rawPayloadHeading":"Rådata {server}.{tool} nyttelast for verktøykall","codex.menu.recent":"Nylig","codex.menu.seeAllHistory":"Se all historikk","codex.modelCapacityBanner.headline.noReset":"{modelName} har for øyeblikket ingen kapasitet igjen. Prøv igjen senere, eller start en ny samtale med en annen modell.","codex.modelCapacityBanner.headline.withReset":"{modelName} har for øyeblikket ingen kapasitet igjen. Prøv igjen etter {resetDate}, eller start en ny samtale med en annen modell.","codex.modelCapacityBanner.title":"Valgt modell har ingen kapasitet","codex.patch.change.contentsDeleted":"Innhold slettet","codex.patch.change.created":"Opprettet","codex.patch.change.created-file":"Opprettet fil","codex.patch.change.creating":"Oppretter","codex.patch.change.deleted":"Slettet","codex.patch.change.deleted-file":"Slettet fil","codex.patch.change.deleting":"Sletter","codex.patch.change.edited":"Redigert","codex.patch.change.edited-file":"Redigert fil","codex.patch.change.editing":"Redigerer","codex.patch.change.noChanges":"Ingen endringer","codex.patch.change.rejected-add":"Avvist","codex.patch.change.rejected-delete":"Avvist","codex.patch.change.rejected-edit":"Avvist","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} av {total} oppgaver fullført","codex.plan.todoListCreated":"Gjøremålsliste opprettet med {total} oppgaver","codex.profileDropdown.apiKeyAuth":"Logget inn med API-nøkkel","codex.profileDropdown.codexSettings":"Codex-innstillinger","codex.profileDropdown.copilotAuth":"Logget inn med Copilot","codex.profileDropdown.defaultAccountTitle":"Standardkonto","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter for å sende lange meldinger","codex.profileDropdown.enterBehaviorError":"Kunne ikke oppdatere innstilling","codex.profileDropdown.getPlus":"Oppgrader for høyere grenser","codex.profileDropdown.keyboardShortcuts":"Tastatursnarveier","codex.profileDropdown.language":"Språk","codex.profileDropdown.languageDefault":"Automatisk deteksjon","codex.profileDropdown.languageSearchPlaceholder":"Søk i språk","codex.profileDropdown.languageUpdateError":"Kunne ikke oppdatere språk","codex.profileDropdown.logOut":"Logg ut","codex.profileDropdown.mcp":"MCP-innstillinger","codex.profileDropdown.openConfigToml":"Åpne config.toml","codex.profileDropdown.openConfigToml.wsl":"Åpne config.toml i WSL-miljø","codex.profileDropdown.openExtensionSettings":"Åpne innstillinger","codex.profileDropdown.openMcpSettings":"Åpne MCP-innstillinger","codex.profileDropdown.openOnStartup":"Åpne ved oppstart","codex.profileDropdown.openOnStartupError":"Kunne ikke oppdatere innstilling","codex.profileDropdown.openSkillsSettings":"Åpne ferdighetsinnstillinger","codex.profileDropdown.personalAccountTitle":"Personlig konto","codex.profileDropdown.queueFollowUps":"Oppfølginger i kø","codex.profileDropdown.queueFollowUpsError":"Kunne ikke oppdatere innstilling","codex.profileDropdown.readDocs":"Les dokumenter","codex.profileDropdown.readSkillsDocs":"Les dokumenter","codex.profileDropdown.runInWsl":"Kjør i WSL","codex.profileDropdown.runInWslError":"Kunne ikke oppdatere innstilling","codex.profileDropdown.runInWslTooltip":"Kjør Codex inne i WSL. Anbefalt for forbedret sandkassesikkerhet og bedre ytelse.","codex.profileDropdown.settings":"IDE-innstillinger","codex.profileDropdown.settingsPage":"Innstillinger","codex.profileDropdown.signInWithOpenAI":"Logg inn med ChatGPT","codex.profileDropdown.skills":"Ferdighetsinnstillinger","codex.profileDropdown.switchToCopilotAccount":"Bruk Copilot-konto","codex.profileDropdown.switchToOpenAIAccount":"Bruk OpenAI-konto","codex.profileDropdown.todoCodelens":"Fiks TODO-kommentarer","codex.profileDropdown.todoCodelensError":"Kunne ikke oppdatere innstilling","codex.profileDropdown.windowsDocumentation":"Windows-dokumentasjon","codex.profileFooter.signedInFallback":"Innstillinger","codex.profileFooter.upgrade":"Oppgrader","codex.recentTasksMenu.clearSearch":"Tøm søk","codex.recentTasksMenu.cloud":"Skyoppgaver","codex.recentTasksMenu.count":"{count, plural, =0 {Ingen oppgaver i gang} one {# oppgave i gang} other {# oppgaver i gang}}","codex.recentTasksMenu.empty":"Ingen tråder enda","codex.recentTasksMenu.errorCloud":"Kunne ikke laste inn oppgaver.","codex.recentTasksMenu.errorCloud.inline":"Kunne ikke laste inn skyoppgaver.","codex.recentTasksMenu.filterAll":"Alle","codex.recentTasksMenu.filterCloudTasks":"Filtrer skyoppgaver","codex.recentTasksMenu.filterTooltip":"Filtrer oppgaver etter miljø","codex.recentTasksMenu.local":"Lokale oppgaver","codex.recentTasksMenu.recent":"Alle oppgaver","codex.recentTasksMenu.search":"Søk i nylige oppgaver","codex.recentTasksMenu.searchEmpty":"Ingen resultater","codex.recentTasksMenu.tooltip":"Oppgavehistorikk","codex.recentTasksMenu.trigger":"Nylige oppgaver. {count, plural, one {# pågår} other {# pågår}}","codex.remoteConversation.applyDiff.applyCta":"Bruk endringer","codex.remoteConversation.applyDiff.dropdownTitle":"Bruk endringer på en lokal forgrening","codex.remoteConversation.applyDiff.revertCta":"Tilbakestill endringer","codex.remoteConversation.closeImagePreview":"Lukk forhåndsvisning av bilde","codex.remoteConversation.codexCloudTask":"Du viser en <u>Codex Cloud</u>-oppgave","codex.remoteConversation.errorWithMessage":"Feil: {message}","codex.remoteConversation.loadingImage":"Laster inn bilde","codex.remoteConversation.openInWeb":"Åpne på nett","codex.remoteConversation.streaming":"Kom i gang","codex.remoteConversation.turnFailed":"Det oppsto en feil under denne oppgaven","codex.remoteConversation.turnTab.loading":"Forsøk {number}","codex.remoteConversation.turnTab.title":"Forsøk {number}","codex.remoteConversation.userImageAttachment":"Brukervedlegg","codex.remoteConversation.viewPreviousTurns":"Åpne på nett","codex.remoteConversation.viewPreviousTurns.buttonText":"Åpne","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Åpne på nett","codex.review.copyGitApplyCommand":"Kopier git apply-kommando","codex.review.copyGitApplyCommand.toast":"Kopierte git apply-kommando til utklippstavlen","codex.review.diffTooLarge.description":"Denne diffen er for stor for å vises i gjennomgang.","codex.review.diffTooLarge.title":"Diff er for stor for å vises","codex.review.expandOrCollapseDiffButton.collapse":"Skjul alle diff-er","codex.review.expandOrCollapseDiffButton.expand":"Utvid alle diff-er","codex.review.expandOrCollapseDiffMenu.collapse":"Skjul alle differ","codex.review.expandOrCollapseDiffMenu.expand":"Utvid alle differ","codex.review.fileSearch.clear":"Tøm filfilter","codex.review.fileSearch.empty":"Ingen filer matcher det aktive filteret.","codex.review.fileSearch.label":"Filtrer filer","codex.review.fileSearch.placeholder":"Filtrer filer …","codex.review.filesChanged":"{num, plural, =0 {Ingen filer endret} one {# fil endret} other {# filer endret}}","codex.review.find.loadMore":"Last flere treff","codex.review.fullReview.hideFileTree":"Skjul mappetre","codex.review.fullReview.showFileTree":"Vis mappetre","codex.review.header.moreOptions":"Gå gjennom alternativer","codex.review.largeDiff.banner":"Stor diff oppdaget – viser én fil om gangen.","codex.review.loadFullFiles.disable":"Ikke last fullstendige filer","codex.review.loadFullFiles.enable":"Last fullstendige filer","codex.review.noDiff":"Filendringer vil vises her","codex.review.noDiff.gitInit.createRepository":"Opprett Git-repositorium","codex.review.noDiff.gitInit.creating":"Oppretter …","codex.review.noDiff.gitInit.error":"Git init mislyktes: {message}","codex.review.noDiff.gitInit.success":"Git-repositorium opprettet","codex.review.noDiff.gitRepoRequired.description":"Spor og angre endringer på dette prosjektet","codex.review.noDiff.gitRepoRequired.title":"Opprett et Git-repositorium","codex.review.noDiff.orNoLongerAvailable":"eller de nyeste diff-ene er ikke lenger tilgjengelige","codex.review.noDiff.reverted":"Forrige omgang er omgjort","codex.review.noDiff.revertedOrCommitted":"Forrige omgang er enten omgjort eller committed","codex.review.refreshGitQueries":"Oppdater","codex.review.revert.file.error":"Kunne ikke tilbakestille {path}","codex.review.revert.file.partialSuccess":"Delvis tilbakestilt {path}","codex.review.revert.file.success":"Tilbakestilte {path}","codex.review.revert.hunk.error":"Kunne ikke tilbakestille hunk {hunkNumber} i {path}","codex.review.revert.hunk.partialSuccess":"Delvis tilbakestilt hunk {hunkNumber} i {path}","codex.review.revert.hunk.success":"Tilbakestilte hunk {hunkNumber} i {path}","codex.review.revert.section.error":"Kunne ikke tilbakestille seksjon","codex.review.revert.section.partialSuccess":"Seksjon delvis tilbakestilt","codex.review.revert.section.success":"Seksjon tilbakestilt","codex.review.revertDialog.cancel":"Avbryt","codex.review.revertDialog.confirm":"Bekreft","codex.review.revertDialog.message":"Denne handlingen fjerner alle disse endringene.","codex.review.revertDialog.skip":"Ikke spør på nytt","codex.review.revertDialog.title":"Vil du tilbakestille endringer?","codex.review.richPreview.disable":"Deaktiver rik forhåndsvisning","codex.review.richPreview.enable":"Aktiver rik forhåndsvisning","codex.review.source.cloud":"Skyendringer","codex.review.source.local.all":"Alle grenendringer","codex.review.source.local.lastTurn":"Endringer i siste runde","codex.review.source.local.uncommitted":"Ikke-forpliktede endringer","codex.review.source.worktree":"Ikke-iverksatte endringer på arbeidstre","codex.review.stageFilter.empty.staged.description":"Godta endringer for å gjøre dem klare for indeksering","codex.review.stageFilter.empty.staged.title":"Ingen indekserte endringer","codex.review.stageFilter.empty.unstaged.description":"Kodeendringer vil vises her","codex.review.stageFilter.empty.unstaged.title":"Ingen uindekserte endringer","codex.review.stageFilter.staged":"Indeksert","codex.review.stageFilter.staged.count":"Indeksert · {count}","codex.review.stageFilter.unstaged":"Uindeksert","codex.review.stageFilter.unstaged.count":"Uindeksert · {count}","codex.review.switchToSplit":"Bytt til delt diff","codex.review.switchToUnified":"Bytt til unified diff","codex.review.toggleDiffView":"Endre diff-visning","codex.review.wordDiffs.disable":"Deaktiver ordforskjeller","codex.review.wordDiffs.enable":"Aktiver ordforskjeller","codex.review.wrap.disable":"Deaktiver linjebryting","codex.review.wrap.enable":"Aktiver linjebryting","codex.section.patch.missing":"Kunne ikke opprette endring for denne delen.","codex.shell.collapse":"Skjul shell","codex.shell.commandLine":"{command} USD","codex.shell.copy.copiedTooltip":"Kopiert shell-innhold","codex.shell.copy.copyTooltip":"Kopier shell-innhold","codex.shell.copyCommand":"Kopier kommando","codex.shell.copyOutput":"Kopier utdata","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Utvid shell","codex.shell.name":"Shell","codex.shell.noOutput":"Ingen utdata","codex.signInFailed.message":"Kunne ikke logge inn: {rawMessage}","codex.stories.toast.show":"Vis toast","codex.stories.tooltip.basic":"Dette er et verktøytips","codex.stories.tooltip.hoverMe":"Hold pilen over meg","codex.stories.tooltip.largerOffset":"Dette verktøytipset har større forskyvning","codex.stories.tooltip.offsetButton":"Større forskyvning","codex.stories.tooltip.shortcutButton":"Med snarvei","codex.stories.tooltip.withShortcut":"Vis/skjul terminal","codex.taskRow.title":"Ny tråd","codex.taskRowLayout.confirm":"Bekreft","codex.threadFindBar.chatFilter":"Søk i chat","codex.threadFindBar.close":"Lukk finn","codex.threadFindBar.diffFilter":"Søk i differ","codex.threadFindBar.label":"Finn i tråd","codex.threadFindBar.nextResult":"Neste resultat","codex.threadFindBar.noResults":"0 resultater","codex.threadFindBar.placeholder":"Søk i tråd …","codex.threadFindBar.placeholder.extension":"Søk i tråd …","codex.threadFindBar.placeholder.review":"Søk i diff …","codex.threadFindBar.placeholder.review.extension":"Søk i diff …","codex.threadFindBar.previousResult":"Forrige svar","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fil endret} other {# filer endret}}","codex.unifiedDiff.inlineLargeFile":"For stor til å vises inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Angre","codex.unifiedDiff.revertPatchError":"Kunne ikke gjøre om endringer","codex.unifiedDiff.revertPatchSuccess":"Endringer gjort om","codex.unifiedDiff.reviewChangesSuffix":"endringer","codex.unifiedDiff.reviewShort":"Se gjennom","codex.unifiedDiff.viewDiffTooltip":"Se gjennom","codex.upsellBanner.business.headline":"For å få mer tilgang nå må du sende en forespørsel til administratoren, eller vente til {resetDate}.","codex.upsellBanner.cbp.headline":"For å få mer tilgang nå må du sende en forespørsel til administratoren.","codex.upsellBanner.cta.addCredits":"Legg til kreditter","codex.upsellBanner.cta.upgradeAccount":"Oppgrader","codex.upsellBanner.cta.viewUsage":"Vis forbruk","codex.upsellBanner.freeOrGo.headline":"Grensen for antall forespørsler tilbakestilles {resetDate}. For å fortsette å bruke Codex kan du oppgradere til Plus i dag.","codex.upsellBanner.general.headline":"Grensen for antall forespørsler tilbakestilles {resetDate}.","codex.upsellBanner.general.title":"Du er tom for Codex-meldinger","codex.upsellBanner.plus.headline":"Grensen for antall forespørsler tilbakestilles {resetDate}. For å fortsette å bruke Codex kan du legge til kreditter eller oppgradere til Pro i dag.","codex.upsellBanner.pro.headline":"Grensen for antall forespørsler tilbakestilles {resetDate}. Legg til kreditter for å fortsette å bruke Codex nå.","codex.userMessage.autoResolveSync":"Løs konflikter automatisk","codex.userMessage.commentCount":"{count, plural, one {# kommentar} other {# kommentarer}}","codex.userMessage.copiedAriaLabel":"Kopiert","codex.userMessage.copiedTooltip":"Kopiert","codex.userMessage.copyAriaLabel":"Kopier melding","codex.userMessage.copyTooltip":"Kopier","codex.userMessage.implementPlan":"Iverksett plan","codex.userMessage.noContent":"(Ingen innhold)","codex.userMessage.priorConversation":"Henviser til tidligere samtale","codex.userMessage.reviewMode":"Gjennomgangsmodus","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"for {query}","codex.webSearch.summary.verb.completed":"Søkte på nettet","codex.webSearch.summary.verb.inProgress":"Søker på nettet","codex.windowsInstallWslBanner.dismiss":"Avvis","codex.windowsInstallWslBanner.installWslCta":"Aktiver sandkasse","codex.windowsInstallWslBanner.learnMore":"Finn ut mer","codex.windowsSandboxBanner.content":"Agentmodus bruker en eksperimentell sandkasse i Windows for å begrense tilgang til filsystemet og nettverket. {sandboxLink}","codex.windowsSandboxBanner.title":"Aktiver sandkasse for Agentmodus","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-innstillinger","codexUpgradeModal.body":"Codex er nå drevet av GPT-5.2-Codex, vår nyeste banebrytende agentbaserte kodemodell. Når det gjelder koding er den {link}, noe som ytterligere forbedret GPT-5.2.","codexUpgradeModal.close":"Lukk","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"smartere og raskere","codexUpgradeModal.title":"Codex ble akkurat oppgradert","codexUpgradeModal.tryNewModel":"Prøv GPT-5.2-Codex nå","codexUpgradeModal.useExistingModel":"Fortsett med aktiv modell","commentAttachments.numComments":"{count, plural, one {# kommentar} other {# kommentarer}}","commentAttachments.removeAriaLabel":"Fjern kommentarvedlegg","common.close":"Lukk","composer.addContext.openFilePickerError":"Kunne ikke åpne filvelgeren","composer.addContextDropdown.ariaLabel":"Legg til filer med mer","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Legg til filer med mer","composer.addPhotosAndFiles":"Legg til bilder og filer","composer.atMentionList.emptyQuery":"Skriv for å søke etter filer","composer.atMentionList.loading":"Søker …","composer.atMentionList.noResults":"Ingen resultater","composer.attemptsSelector.option":"{count, plural, one {# versjon} other {# versjoner}}","composer.attemptsSelector.tooltip":"Antall parallelle forsøk Codex skal gjøre","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Stopp","composer.cloudFollowUp.cloud":"Sky","composer.cloudFollowUp.local":"Lokal","composer.cloudFollowUp.whereRun":"Hvor skal denne oppfølgingen kjøres?","composer.cloudTaskCreationError":"Feil ved oppretting av skyoppgave","composer.cloudTaskError":"Feil ved oppretting av oppgave","composer.contextWindow.autoCompactionTooltipLine1":"Codex komprimerer automatisk konteksten","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontekstvindu:","composer.contextWindowUsageStatusFull":"{usage} % fullt","composer.contextWindowUsageStatusLeft":"{usage} % brukt ({remaining} % igjen)","composer.contextWindowUsageTooltip":"{usedTokens} 000 av {contextWindow} 000 tokener brukt","composer.customCliTooltip":"Bruker en egendefinert kjørbar CLI-fil","composer.dictation.aria":"Diktat","composer.dictation.cancel.aria":"Stopp diktat","composer.dictation.cancel.tooltip":"Stopp diktat","composer.dictation.startError":"Kunne ikke starte diktat","composer.dictation.submit.aria":"Transkriber og send inn","composer.dictation.submit.tooltip":"Transkriber og send inn","composer.dictation.tooltip":"Hold for å diktere","composer.dictation.transcribeError":"Kunne ikke transkribere lyd","composer.dictation.unsupported":"Diktat er ikke tilgjengelig på denne enheten","composer.dropOverlay.holdShift":"Hold {key} for å slippe","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Opprett nytt","composer.environmentSelector.error":"Feil ved lasting av miljøer","composer.environmentSelector.goBack":"Tilbake til meldingsfelt","composer.environmentSelector.title":"Velg miljø","composer.environmentSelector.tooltip":"Velg et skymiljø","composer.feedbackSlashCommand.title":"Tilbakemelding","composer.filePicker.selectFile":"Velg en fil","composer.filePicker.selectFiles":"Velg filer","composer.followerTooltip":"For å fortsette må du gå tilbake til vinduet der denne samtalen startet.","composer.footer.branchSwitch.checkoutError":"Kunne ikke bytte gren: {message}","composer.footer.branchSwitch.createAndCheckout":"Opprett og sjekk ut ny gren …","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Commit endringer for å opprette og sjekke ut en ny gren","composer.footer.branchSwitch.createBranchError":"Kunne ikke opprette gren: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Navn på gren","composer.footer.branchSwitch.createDialog.branchExistsError":"Gren eksisterer allerede.","composer.footer.branchSwitch.createDialog.close":"Lukk","composer.footer.branchSwitch.createDialog.createAndCheckout":"Opprett og sjekk ut","composer.footer.branchSwitch.createDialog.placeholder":"ny-gren","composer.footer.branchSwitch.createDialog.title":"Opprett og sjekk ut gren","composer.footer.branchSwitch.createDialog.trailingSlashError":"Grennavn kan ikke avsluttes med “/”","composer.footer.branchSwitch.tooltip":"Bytt gren","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Commit endringer i {fileCount, plural, one {# fil} other {# filer}} for å sjekke ut {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"endringer i {fileCount, plural, one {# fil} other {# filer}} for å sjekke ut {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Avbryt","composer.footer.branchSwitch.uncommittedDialog.commit":"Commit og bytt gren …","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Endringene dine i følgende filer vil bli overskrevet ved utsjekking:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Vennligst commit endringene dine for å fortsette","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"den valgte grenen","composer.footer.branchSwitch.uncommittedDialog.title":"Commit endringer for å bytte gren","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Ikke committed: {fileCount, plural, one {# fil} other {# filer}}","composer.forkSlashCommand.description":"Forgren denne tråden til en lokal tråd eller nytt arbeidstre","composer.forkSlashCommand.option.local.description":"Fortsett i en ny lokal tråd","composer.forkSlashCommand.option.local.title":"Forgren til lokal","composer.forkSlashCommand.option.worktree.description":"Fortsett i et nytt arbeidstre","composer.forkSlashCommand.option.worktree.title":"Forgren til et nytt arbeidstre","composer.forkSlashCommand.title":"Forgrening","composer.imageInputsUnsupported":"Denne modellen støtter ikke bildeinndata. Prøv en annen modell.","composer.imageUploadFailed":"Kunne ikke laste opp bilde","composer.includeIdeContextDropdown":"Inkluder IDE-kontekst","composer.includeIdeContextDropdown.ariaLabel":"Inkluder IDE-kontekst","composer.localCwdDropdown.addWorkspaceRoot":"Legg til nytt prosjekt","composer.localCwdDropdown.noActiveRoot":"Velg prosjektet ditt","composer.localCwdDropdown.noResults":"Ingen mapper funnet","composer.localCwdDropdown.title":"Velg prosjektet ditt","composer.localTaskError":"Feil ved oppretting av samtale","composer.mcpSlashCommand.description":"Vis MCP-serverstatus","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Ikke autentisert","composer.mcpStatus.authOauth":"Autentisert (OAuth)","composer.mcpStatus.authToken":"Autentisert (API-nøkkel)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Lukk","composer.mcpStatus.disabled":"Deaktivert","composer.mcpStatus.emptyLabel":"Servere:","composer.mcpStatus.emptyValue":"Ingen MCP-servere konfigurert","composer.mcpStatus.enabled":"Aktivert","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Kan ikke laste inn MCP-status","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Bytt modus","composer.mode.agentMode.custom":"Egendefinert","composer.mode.agentMode.custom.dropdownLabel":"Egendefinert","composer.mode.agentMode.custom.option":"Egendefinert (config.toml)","composer.mode.agentMode.custom.optionLabel":"Egendefinert (config.toml)","composer.mode.agentMode.customInfo.cancel":"Avbryt","composer.mode.agentMode.customInfo.cli":"Du kan justere innstillingene fra CLI eller ved å redigere filen direkte.","composer.mode.agentMode.customInfo.confirm":"Bruk egendefinert modus","composer.mode.agentMode.customInfo.description":"Egendefinert modus bruker retningslinjene for godkjenning og sandkasser som er definert i <link>config.toml</link>-filen.","composer.mode.agentMode.customInfo.docs":"Les mer om hvordan du konfigurerer retningslinjene for godkjenning og sandkasse i <link>dokumentasjonen for kjøringsmiljøet</link>.","composer.mode.agentMode.customInfo.refresh":"Endringer trer i kraft neste gang agenten kjøres.","composer.mode.agentMode.customInfo.title":"Slik fungerer egendefinert modus","composer.mode.agentMode.fullAccess":"Agent (full tilgang)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (full tilgang)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (full tilgang)","composer.mode.agentMode.fullAccessConfirm.caution":"Vær forsiktig når du aktiverer full tilgang. Dette øker risikoen for datatap, lekkasjer og uventet adferd.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ja, fortsett likevel","composer.mode.agentMode.fullAccessConfirm.description":"Når Codex kjører med full tilgang, kan den redigere alle filer på dataen din og kjøre kommandoer med nettverk uten din godkjennelse.","composer.mode.agentMode.fullAccessConfirm.goBack":"Avbryt","composer.mode.agentMode.fullAccessConfirm.title":"Aktivere full tilgang?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Bytt modus","composer.mode.agentMode.tooltip.auto":"Les og rediger filer, og kjør kommandoer.","composer.mode.agentMode.tooltip.custom":"Bruk de nyeste retningslinjene for godkjenning og sandkasser definert i config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex kan redigere filer utenfor prosjektet og kjøre kommandoer med nettverkstilgang. Vær forsiktig når du bruker den.","composer.mode.agentMode.tooltip.readOnly":"Krever godkjenning for å redigere filer og kjøre kommandoer.","composer.mode.cloud.tooltip":"Arbeid i et skymiljø","composer.mode.contactAdmin":"For å få mer tilgang kan du kontakte administratoren din","composer.mode.local":"Lokal","composer.mode.local.learnMore":"Finn ut mer","composer.mode.local.model.custom":"Egendefinert","composer.mode.local.model.loadingModel":"Laster inn modell","composer.mode.local.model.selecrReasoningEffort":"Velg resonnering","composer.mode.local.model.selectModel":"Velg modell","composer.mode.local.model.tooltip":"Velg modell","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Høy","composer.mode.local.reasoning.low.label":"Lav","composer.mode.local.reasoning.medium.label":"Medium","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Ingen","composer.mode.local.reasoning.xhigh.label":"Ekstra høy","composer.mode.localRemoteWhereRun":"Velg hvor du skal kjøre oppgaven","composer.mode.newTask.header":"Fortsett i","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Gjenstående bruksgrenser","composer.mode.rateLimit.hour":"{hours} t","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"{modelName}-grense:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ukentlig grense} other {{weeks} ukentlig grense}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Ukentlig} other {{weeks} uke}}","composer.mode.remote.connectToCloud":"Koble til Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Sett opp et miljø via Codex web for å sende oppgaver til skyen","composer.mode.remote.selectEnvironment":"Velg miljø","composer.mode.remote.sendToCloud":"Send til sky","composer.mode.remote.setupViaWeb":"Sett opp et miljø via Codex web","composer.mode.runInCloud":"Sky","composer.mode.runInCloudWithEnvironment":"Sky · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Arbeid i et skymiljø","composer.mode.segmentedToggle.local.tooltip":"Arbeid på ditt lokale prosjekt","composer.mode.segmentedToggle.worktree.tooltip":"Arbeid i et parallelt arbeidstre","composer.mode.upgradeToPlus":"Oppgrader til Plus","composer.mode.upgradeToPro":"Oppgrader til Pro","composer.mode.workLocally":"Lokalt prosjekt","composer.mode.workLocally.currentBranchFallback":"din forgrening","composer.mode.workLocally.tooltip":"Arbeid på {branchName}","composer.mode.worktree":"Nytt arbeidstre","composer.mode.worktree.submoduleWarning":"Dette repositoriet har git-undermoduler. Opprettelse av arbeidstre kan feile","composer.mode.worktree.tooltip":"Opprett en kopi av ditt lokale prosjekt for å arbeide parallelt","composer.mode.worktreeSegment":"Arbeidstre","composer.modelChangeDuringConversationWarning.toast":"Å endre modell midt i en samtale vil redusere ytelsen.","composer.newChat.heading.browser":"Hva skal vi kode nå?","composer.permissionsDropdown.custom.label":"Egendefinert (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Egendefinert (config.toml)","composer.permissionsDropdown.default.label":"Standardtillatelser","composer.permissionsDropdown.default.optionLabel":"Standardtillatelser","composer.permissionsDropdown.fullAccess.disabled":"Full tilgang er deaktivert av requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Endre tillatelser","composer.personalitySlashCommand.description.friendly":"Varm, samarbeidsvillig og hjelpsom","composer.personalitySlashCommand.description.pragmatic":"Kortfattet, oppgavefokusert og direkte","composer.personalitySlashCommand.label.friendly":"Vennlig","composer.personalitySlashCommand.label.pragmatic":"Pragmatisk","composer.personalitySlashCommand.notApplicableSuffix":"(Gjelder ikke aktiv modell)","composer.personalitySlashCommand.title":"Personlighet","composer.placeholder.cloudFollowUp.directFollowUp":"Oppfølging av denne skyoppgaven","composer.placeholder.cloudFollowUp.local":"Lag en ny lokal oppgave som refererer til denne skyoppgaven","composer.placeholder.cloudFollowUp.workingTree":"Opprett en ny skyoppgave som inkluderer din nåværende kode og som vil referere til denne oppgaven","composer.placeholder.localFollowUp.cloud":"Oppfølging i en ny skyoppgave","composer.placeholder.localFollowUp.locally":"Be om oppfølgende endringer","composer.placeholder.newTask.cloud":"Be Codex om å gjøre hva som helst i skyen","composer.placeholder.newTask.doAnything":"Be Codex om å gjøre hva som helst","composer.placeholder.newTask.locally":"Spør Codex om hva som helst, @ for å legge til filer, / for kommandoer","composer.planModeDropdown":"Planmodus","composer.planModeDropdown.ariaLabel":"Planmodus","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Slå planmodus av","composer.planSlashCommand.enableDescription":"Slå planmodus på","composer.planSlashCommand.title":"Planmodus","composer.priorContext.label":"Forrige kontekst","composer.priorContext.removeAriaLabel":"Fjern forrige kontekst","composer.queuedMessage.delete":"Slett melding i kø","composer.queuedMessage.edit":"Rediger melding","composer.queuedMessage.more":"Handlinger for melding i kø","composer.queuedMessage.sendNow":"Send nå","composer.queuedMessage.turnOff":"Slå av kø","composer.reasoningEffort.local.reasoning.tooltip":"Velg resonneringsinnsats","composer.remote.branchStartingPoint":"Hvilken gren skal oppgaven starte fra?","composer.remote.branchesSectionHeading":"Grener","composer.remote.currentEditsSuffix.followUp":"Lag en ny oppgave som refererer til denne skyoppgaven.","composer.remote.currentEditsSuffix.useLocal":"med lokale kodeendringer","composer.remote.directFollowUp":"Ikke bruk lokale kodeendringer","composer.remote.errorLoadingBranches":"Feil ved lasting av grener","composer.remote.fromBranch":"Fra {branch}","composer.remote.fromCurrentBranch":"Fra {branch} (aktiv)","composer.remote.loadingMoreBranches":"Laster ...","composer.remote.localFileStateHeading":"Lokal filstatus","composer.remote.localWorkingTree":"Bruk lokale endringer","composer.remote.startingPoint":"Hvilken kode bør oppgaven starte fra?","composer.reviewMode.branches.error":"Kunne ikke laste grener","composer.reviewMode.branches.retry":"Prøv på nytt","composer.reviewMode.gitRoot.error":"Git root ikke funnet","composer.reviewMode.option.baseBranch.simple":"Gjennomgå mot en basegren","composer.reviewMode.option.unstaged.simple":"Gjennomgå ikke-forpliktede endringer","composer.reviewMode.quickReviewError":"Kunne ikke starte kodegjennomgang.","composer.reviewMode.title":"Kodegjennomgang","composer.sandboxButton.unlock.disabled.tooltip":"Full tilgang er deaktivert av requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex kan bruke en eksperimentell sandkasse i Windows for å begrense tilgang til filsystemet og nettverket. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Vil du aktivere Windows Sandbox","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Bruk kun lesetilgang","composer.searchEnvironments":"Søk i miljøer","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Laster ferdigheter ...","composer.skillMentionList.noResults":"Ingen ferdigheter funnet","composer.slashCommands.cloudEnvironment.title":"Skymiljø","composer.slashCommands.dialogLabel":"Meny for slash-kommando","composer.slashCommands.dialogTitle":"Slash-kommandoer","composer.slashCommands.disabledTooltip":"Begynn en ny samtale for å bruke slash-kommandoer.","composer.slashCommands.inputPlaceholder":"Søk","composer.slashCommands.noResults":"Ingen kommandoer","composer.slashCommands.skillsGroup":"Ferdigheter","composer.slashCommands.tooltip":"Bla gjennom slash-kommandoer","composer.status.close":"Lukk","composer.statusPlain.alertLabel":"Varsel:","composer.statusPlain.alertValue":"{remaining} % igjen på {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count} K","composer.statusPlain.contextValueMetadata":"({used} brukte / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % igjen","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName}-grense:","composer.statusPlain.rateLimitDays":"{count} d grense","composer.statusPlain.rateLimitFallbackLabel":"Bruksgrense:","composer.statusPlain.rateLimitHours":"{count} t grense","composer.statusPlain.rateLimitLabelBase":"Bruksgrense","composer.statusPlain.rateLimitMinutes":"{count} m grense","composer.statusPlain.rateLimitPercent":"{remaining} % igjen","composer.statusPlain.rateLimitReset":"tilbakestilles {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"tilbakestillingstidspunkt utilgjengelig","composer.statusPlain.rateLimitUnavailable":"Ikke tilgjengelig","composer.statusPlain.sessionCopiedAriaLabel":"Kopierte økt-ID","composer.statusPlain.sessionCopiedTooltip":"Kopierte ID","composer.statusPlain.sessionCopyAriaLabel":"Kopier økt-ID","composer.statusPlain.sessionCopyTooltip":"Kopier ID","composer.statusPlain.sessionLabel":"Økt:","composer.statusSlashCommand.description":"Vis tråd-ID, bruk av kontekst og bruksgrenser","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Kunne ikke sende melding","composer.submit.emptyMessage":"Skriv en melding for å begynne","composer.submit.imageInputsUnsupported":"Fjern bilder eller bytt modell for å sende denne meldingen.","composer.submit.loadingLocalConfig":"Laster ...","composer.submit.missingCloudConfig":"Du må velge et skymiljø","composer.submit.missingCloudTurn":"Kunne ikke følge opp denne oppgaven","composer.submit.noWorkspace":"Legg til et prosjekt for å bruke Codex","composer.submit.waitForImageUploads":"Bilder lastes opp ...","composer.submitButtonTooltip.send":"Send","composer.submitButtonTooltip.stop":"Stopp","composer.worktreeEnvironment.create":"Opprett lokalt miljø","composer.worktreeEnvironment.default":"Standardmiljø","composer.worktreeEnvironment.error":"Feil ved lasting av miljøer","composer.worktreeEnvironment.loading":"Laster miljøer …","composer.worktreeEnvironment.title":"Lokalt miljø","composer.worktreeEnvironment.tooltip":"Velg et lokalt miljø","composer.worktreeSetupFailed":"Konfigurering av arbeidstre mislyktes. Sjekk .codex/environments for et konfigurasjonsskript.","compoundButton.secondaryAction":"Sekundærhandling","copyButton.copied":"Kopiert","copyButton.copiedAriaLabel":"Kopiert","copyButton.copy":"Kopier","copyButton.copyAriaLabel":"Kopier","copyButton.copyCode":"Kopier kode","diff.actionButton.revertFile":"Tilbakestill fil","diff.actionButton.revertHunk":"Gjør om","diff.actionButton.revertSection":"Tilbakestill alle","diff.actionButton.revertSectionLabel":"Tilbakestill alle","diff.actionButton.stageFile":"Indekser fil","diff.actionButton.stageHunk":"Indekser","diff.actionButton.stageSection":"Indekser alle","diff.actionButton.stageSectionLabel":"Indekser alle","diff.actionButton.unstageFile":"Uindekser fil","diff.actionButton.unstageHunk":"Uindekser","diff.actionButton.unstageSection":"Uindekser alle","diff.actionButton.unstageSectionLabel":"Uindekser alle","diff.fileHeader.toggle":"Vis/skjul fil-diff","electron.onboarding.login.apikey.cancel":"Avbryt","electron.onboarding.login.apikey.continue":"Fortsett","electron.onboarding.login.apikey.label":"OpenAI API-nøkkel","electron.onboarding.login.apikey.open":"Skriv inn API-nøkkel","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Avbryt innlogging","electron.onboarding.login.chatgpt.continue":"Fortsett med ChatGPT","electron.onboarding.login.devbox":"Koble til en ekstern SSH","electron.onboarding.login.error":"Kunne ikke logge inn: {rawMessage}","electron.onboarding.login.snake.start":"Spill Snake","electron.onboarding.login.sshConfig.cancel":"Avbryt","electron.onboarding.login.sshConfig.continue":"Fortsett","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-vertsnavn","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Den beste måten å bygge med agenter på","electron.onboarding.login.title":"Velkommen til Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Fortsett","electron.onboarding.welcome.doubleLimits.description":"I anledning lanseringen av Codex-appen har du 2× bruksgrense frem til 2. april.","electron.onboarding.welcome.freego.description":"Codex er inkludert gratis i planen din frem til 2. mars – la oss begynne å bygge sammen.","electron.onboarding.welcome.new.title.anon":"Velkommen!","electron.onboarding.workspace.continue":"Fortsett","electron.onboarding.workspace.empty":"Legg til et prosjekt for å fortsette.","electron.onboarding.workspace.listLabel":"Tilgjengelige prosjekter","electron.onboarding.workspace.loading":"Laster prosjekter …","electron.onboarding.workspace.openFolder":"Legg til prosjekt","electron.onboarding.workspace.selectAll":"Velg alle","electron.onboarding.workspace.skip":"Hopp over","electron.onboarding.workspace.skip.error":"Kunne ikke opprette et nytt prosjekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Ukjent feil","electron.onboarding.workspace.skipping":"Oppretter et nytt prosjekt …","electron.onboarding.workspace.subtitle":"Codex vil kunne redigere filer og kjøre kommandoer i valgte mapper.","electron.onboarding.workspace.title":"Velg et prosjekt","errorPage.list.checkSettings":"Prøv å oppdatere IDE-innstillingene dine","errorPage.list.configToml":"Sjekk config.toml for ugyldige innstillinger","errorPage.list.downloadExtension":"Prøv å laste ned en annen versjon av utvidelsen","errorPage.list.runInWsl":"Sjekk innstillingene dine for å avslutte kjøring i WSL om du har kompatibilitetsproblemer","execApprovalRequest.menu.runAlways":"Ja, og ikke spør igjen denne økten","execApprovalRequest.menu.runAlwaysWithAmendment":"Ja, og ikke spør igjen for kommandoer som begynner med {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ja, og ikke spør igjen for kommandoer som begynner med","execApprovalRequest.menu.runOnce":"Ja","execApprovalRequest.prompt":"Vil du kjøre denne kommandoen?","execApprovalRequest.reject":"Nei","execFooter.exitCode":"Utgangskode {code}","execFooter.exitCode.unknown":"ukjent","execFooter.success":"Vellykket","feedback.dialog.category.badResult":"Dårlig resultat","feedback.dialog.category.bug":"Feil","feedback.dialog.category.goodResult":"Bra resultat","feedback.dialog.category.other":"Annet","feedback.dialog.descriptionPlaceholder":"Beskriv problemet her","feedback.dialog.dismiss":"Avvis","feedback.dialog.includeLogsLabel":"Inkluder logger for nåværende Codex-økt","feedback.dialog.submit":"Send inn","feedback.dialog.submitError":"Vi kunne ikke sende inn tilbakemeldingen. Prøv igjen snart.","feedback.dialog.title":"Tilbakemelding","feedback.dialog.uploadedMessage.existingIssue":"eksisterende åpent problem","feedback.dialog.uploadedMessage.openIssue":"åpne et GitHub-problem","feedback.dialog.uploadedMessage.withThread":"Tilbakemelding lastet opp. Hvis problemet vedvarer, vennligst {openIssueLink} eller oppgi tråd-ID i en {existingIssueLink}:","feedback.dialog.uploadedTitle":"Tilbakemelding lastet opp","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Fjern {filename}","header.back":"Tilbake","header.recentChats":"Oppgaver","header.recentTasks.seeAll":"Vis alle ({total})","home.header.getPlus":"Få Plus","home.hero.letsBuild":"La oss bygge","homePage.mainContent":"Hovedinnhold","imageAttachment.defaultName":"bilde","imageAttachment.preview.close":"Lukk forhåndsvisning av bilde","imageAttachment.removeAriaLabel":"Fjern {filename}","implementPlanRequest.option.implement":"Ja, iverksett denne planen","implementPlanRequest.prompt":"Vil du iverksette denne planen?","inbox.archived.deleteError":"Kunne ikke slette arkivert kjøring","inbox.archived.deleteRun":"Slett arkivert kjøring","inbox.archived.deleteSuccess":"Slettet arkivert tråd. Se i <settingsLink>Arkiverte tråder</settingsLink>.","inbox.archived.inlineLabel.auto":"Denne tråden ble automatisk arkivert. <learnMoreLink>Finn ut mer</learnMoreLink>","inbox.archived.inlineLabel.manual":"Denne tråden ble arkivert.","inbox.archived.noMessageFound":"Ingen melding funnet","inbox.automations.createError":"Kunne ikke opprette automatisering","inbox.automations.deleteConfirm.cancel":"Avbryt","inbox.automations.deleteConfirm.confirm":"Slett automatisering","inbox.automations.deleteConfirm.description":"Dette vil permanent slette automatiseringen og stoppe alle fremtidige kjøringer.","inbox.automations.deleteConfirm.title":"Vil du slette {name}?","inbox.automations.deleteError":"Kunne ikke slette automatisering","inbox.automations.editTooltip":"Rediger automatisering","inbox.automations.inProgress":"Pågår","inbox.automations.new":"Ny","inbox.automations.newToolbar":"Ny automatisering","inbox.automations.pauseTooltip":"Sett automatisering på pause","inbox.automations.resumeTooltip":"Gjenoppta automatisering","inbox.automations.startingNow":"Starter nå","inbox.automations.startsIn":"Starter om {startTime}","inbox.automations.status.active":"Aktiv","inbox.automations.status.paused":"Satt på pause","inbox.automations.status.runs":"{count} kjøringer","inbox.automations.status.started":"Startet {date}","inbox.automations.updateError":"Kunne ikke oppdatere automatisering","inbox.automations.workspaceFallback":"–","inbox.filter.all":"Alle","inbox.filter.ariaLabel":"Filtrer innbokselementer","inbox.filter.unread":"Ulest","inbox.list.archived":"Arkivert","inbox.list.inProgress":"Pågår","inbox.list.recent":"Fullført","inbox.list.upNext":"Planlagt","inbox.mode.automations":"Automatiseringer","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Ingen beskrivelse oppgitt","inbox.openThread":"Åpne tråd","inbox.rightPanel.emptySubtitle":"Automatiser arbeidet ved å sette opp planlagte oppgaver","inbox.rightPanel.emptySubtitle.learnMore":"Automatiser arbeidet ved å sette opp planlagte tråder. <link>Finn ut mer</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktiv automatisering} other {# aktive automatiseringer}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Ingen uleste automatiseringer","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ulest automatisering} other {# uleste automatiseringer}}","inbox.rightPanel.emptyTitle":"Ingen elementer valgt","inbox.rightPanel.noThread":"Ingen tråd for dette elementet","inbox.rightPanel.quickStart.header":"Start med en mal","inbox.untitled":"Innbokselement uten tittel","loadingPage.documentationLink":"dokumentasjon","loadingPage.errorDescription":"Codex krasjet med følgende feil:","loadingPage.errorDescription.documentation":"Klikk på Last inn på nytt for å starte Codex-utvidelsen på nytt, eller gå til {documentationLink} for ytterligere hjelp.","loadingPage.errorSignal":"Noen ting du kan prøve:","loadingPage.errorTitle":"Det har oppstått en feil","loadingPage.openConfigToml":"Åpne Config.toml","loadingPage.reload":"Last inn på nytt","localConversation.contextCompacted":"Kontekst automatisk komprimert","localConversation.contextCompacting":"Komprimerer kontekst automatisk","localConversation.forkedFromConversation":"Forgrenet fra {threadTitle}","localConversation.merge.autoResolve.failed":"Kunne ikke be om automatisk løsning: {error}","localConversation.merge.autoResolve.sent":"Forespørsel om automatisk løsning sendt","localConversation.merge.autoResolveMerge.missingConversation":"Kan ikke automatisk løse uten en aktiv samtale.","localConversation.merge.autoResolveMerge.request":"Løs sammenslåingskonfliktene automatisk","localConversation.modelChanged":"Modell endret fra {fromModel} til {toModel}.","localConversation.modelChanged.warning.line1":"Å endre modell midt i en samtale vil redusere ytelsen.","localConversation.modelChanged.warning.line2":"Kontekst kan bli automatisk komprimert.","localConversation.moveThread.createBranch.label":"Opprett gren","localConversation.moveToLocal.disabled.loading":"Laster ...","localConversation.moveToLocal.modal.continue":"Fortsett","localConversation.moveToLocal.modal.destinationLabel":"Flytt til","localConversation.moveToLocal.modal.retry":"Prøv på nytt","localConversation.moveToWorktree.modal.back":"Tilbake","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Gren eksisterer allerede.","localConversation.moveToWorktree.modal.branchesError":"Kunne ikke laste grener","localConversation.moveToWorktree.modal.branchesLoading":"Laster grener …","localConversation.moveToWorktree.modal.branchesRetry":"Prøv på nytt","localConversation.moveToWorktree.modal.continue":"Fortsett","localConversation.moveToWorktree.modal.retry":"Prøv på nytt","localConversation.moveToWorktree.modal.trailingSlashError":"Grennavn kan ikke avsluttes med “/”","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ny-gren","localConversation.personalityChanged":"Bytt til personligheten {personality}","localConversation.planSummary.collapse":"Skjul sammendrag av plan","localConversation.planSummary.collapseTooltip":"Skjul","localConversation.planSummary.download":"Last ned plan","localConversation.planSummary.expand":"Utvid sammendrag av plan","localConversation.planSummary.expandTooltip":"Utvid","localConversation.planSummary.openInNewWindow":"Åpne","localConversation.planSummary.openInNewWindow.tooltip":"Åpne i nytt vindu","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Skriveplan","localConversation.planSummary.viewPlan":"Utvid plan","localConversation.remoteTaskCreated":"Oprettet {taskLink} i Codex Cloud","localConversation.remoteTaskCreated.task":"oppgave","localConversation.scrollToBottomButton":"Bla til bunnen","localConversation.sync.buttonLabel":"Overføring til lokal","localConversation.sync.buttonLabel.tooltip":"Overføre endringer mellom dette arbeidstreet og din lokale utsjekking.","localConversation.sync.modal.loading.title":"Overfører endringer …","localConversation.sync.modal.noChanges":"Ingen endringer","localConversation.syncSetup.branchAriaLabel":"Navn på gren","localConversation.syncSetup.branchName":"Navn på gren","localConversation.syncSetup.branchPlaceholder.existing":"Velg eksisterende gren","localConversation.syncSetup.branchPlaceholder.new":"codex/ny-funksjon","localConversation.syncSetup.branchesLoading":"Laster grener …","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Allerede sjekket ut","localConversation.syncSetup.checkoutClean":"For øyeblikket på {branchName}","localConversation.syncSetup.checkoutDirty":"For øyeblikket på {branchName} med ikke comittede endringer","localConversation.syncSetup.checkoutError":"Kunne ikke sjekke ut gren: {message}","localConversation.syncSetup.checkoutLabel":"Sjekk ut lokalt nå","localConversation.syncSetup.checkoutOnLocal":"Overføring til lokal","localConversation.syncSetup.checkoutPending":"Sjekker lokal status …","localConversation.syncSetup.checkoutUnavailable":"Lokalt arbeidsområde ikke tilgjengelig","localConversation.syncSetup.checkoutUnknown":"Lokal gren ikke tilgjengelig","localConversation.syncSetup.continue":"Fortsett","localConversation.syncSetup.createBranchError":"Kunne ikke angi gren for overføring: {message}","localConversation.syncSetup.error":"Noe gikk galt: {message}","localConversation.syncSetup.error.workingTreeMissing":"Kunne ikke ta snapshot av arbeidstre. Vennligst prøv overføring på nytt.","localConversation.syncSetup.mode.ariaLabel":"Velg grenmodus","localConversation.syncSetup.mode.existing":"Eksisterende gren","localConversation.syncSetup.mode.new":"Ny gren","localConversation.syncSetup.noBranches":"Ingen grener funnet","localConversation.syncSetup.overwriteError":"Gren ble opprettet, men er ikke fullstendig overført. Overfør manuelt før du sjekker ut lokalt.","localConversation.syncSetup.setPrefix":"Angi prefiks","localConversation.syncSetup.subtitle":"Test og rediger endringer på arbeidstre lokalt. <a>Finn ut mer</a>","localConversation.syncSetup.success.checkedOut":"Gren ble opprettet og er sjekket ut lokalt","localConversation.syncSetup.success.notCheckedOut":"Gren opprettet","localConversation.syncSetup.title":"Overfør til lokal gren","localConversation.syncWorktreeError.branchAriaLabel":"Navn på gren","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/ny-funksjon","localConversation.syncWorktreeError.branchSetup.subtitle":"Velg en gren å overføre til, prøv deretter å laste endringer på nytt.","localConversation.syncWorktreeError.branchSetup.title":"Oppdater gren","localConversation.syncWorktreeError.branchUpdate.cta":"Oppdater og prøv igjen","localConversation.syncWorktreeError.branchUpdate.error":"Kunne ikke oppdatere gren: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Noe gikk galt: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Gren er ikke sjekket ut i noe arbeidstre","localConversation.syncWorktreeV2.applyUncommitted":"Bruk","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Du må sjekke ut grenen lokalt for å bruke ikke-commitede endringer","localConversation.syncWorktreeV2.branches.empty":"Ingen grener funnet","localConversation.syncWorktreeV2.branches.loading":"Laster grener …","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Endre gren for overføring","localConversation.syncWorktreeV2.changeBranch.error":"Kunne ikke endre gren for overføring: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Bruk mislyktes","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Overskriving av arbeidstre mislyktes","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Overskriving lokalt mislyktes","localConversation.syncWorktreeV2.commandError.back":"Tilbake","localConversation.syncWorktreeV2.commandError.body":"En git-kommando feilet under overføring. Gå gjennom utdataene og prøv igjen.","localConversation.syncWorktreeV2.commandError.retry":"Prøv på nytt","localConversation.syncWorktreeV2.description":"Overfør endringer mellom lokal og dette arbeidstreet. <a>Finn ut mer</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Velg retning for overføring","localConversation.syncWorktreeV2.error.generic":"Noe gikk galt under overføringen. Prøv igjen.","localConversation.syncWorktreeV2.localBranchLabel":"Lokal","localConversation.syncWorktreeV2.noChanges":"Beregner endringer","localConversation.syncWorktreeV2.noChanges.summary":"Ingen endringer","localConversation.syncWorktreeV2.overwrite.local":"Overskriving lokalt","localConversation.syncWorktreeV2.overwrite.worktree":"Overskriv arbeidstre","localConversation.syncWorktreeV2.partial.action.applyFailed":"Kunne ikke bruke endringer","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Kunne ikke overskrive lokale endringer","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Kunne ikke overskrive endringer i arbeidstre","localConversation.syncWorktreeV2.partial.appliedLabel":"Brukt","localConversation.syncWorktreeV2.partial.back":"Tilbake","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Løs konflikter og prøv igjen.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikter","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fil} other {# filer}}","localConversation.syncWorktreeV2.partial.retry":"Prøv på nytt","localConversation.syncWorktreeV2.partial.skippedLabel":"Hoppet over","localConversation.syncWorktreeV2.stateFailed.generic":"Noe gikk galt under henting av endringene som skulle overføres i arbeidstreet. Vennligst prøv igjen.","localConversation.syncWorktreeV2.stateFailed.title":"Kunne ikke laste endringer på arbeidstre","localConversation.syncWorktreeV2.statusError.diffUnknown":"Kunne ikke laste endringer på arbeidstre.","localConversation.syncWorktreeV2.statusError.retry":"Prøv på nytt","localConversation.syncWorktreeV2.statusError.title":"Kunne ikke laste lokale grenendringer","localConversation.syncWorktreeV2.statusError.unknown":"Status for gren er ikke tilgjengelig akkurat nå. Prøv igjen.","localConversation.syncWorktreeV2.success.apply":"Endringer tatt i bruk","localConversation.syncWorktreeV2.success.overwrite":"Overføring var vellykket","localConversation.syncWorktreeV2.title":"Overføre endringer","localConversation.syncWorktreeV2.worktreeLabel":"Arbeidstre","localConversation.userInputRequest.inProgress":"Spør {count, plural, one {spørsmål} other {spørsmål}}","localConversation.userInputRequest.noAnswer":"Ingen svar gitt","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Spurte","localConversation.userInputRequest.summary.count":"{count, plural, one {# spørsmål} other {# spørsmål}}","localConversation.workedFor":"Arbeidet i {time}","localConversation.worktreeBranchSetup.action.create":"Opprett","localConversation.worktreeBranchSetup.branchAriaLabel":"Navn på gren","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Opprett en ny gren","localConversation.worktreeBranchSetup.checkoutDisabled":"Denne grenen er allerede sjekket ut {location}","localConversation.worktreeBranchSetup.checkoutError":"Kunne ikke sjekke ut gren: {message}","localConversation.worktreeBranchSetup.createBranchError":"Kunne ikke angi gren: {message}","localConversation.worktreeBranchSetup.error":"Noe gikk galt: {message}","localConversation.worktreeBranchSetup.subtitle":"Opprett en gren for å committe endringer, pushe og opprette en PR fra dette arbeidstreet. <a>Finn ut mer</a>","localConversation.worktreeBranchSetup.title":"Arbeid her","localConversationPage.addWorktreeToSidebar.tooltip":"Lagre som et prosjekt, slik at du kan starte nye tråder fra dette arbeidstreet","localConversationPage.addWorktreeToSidebarError":"Kunne ikke legge til prosjekt","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit og opprettelse av PR mislyktes","localConversationPage.commitAndCreatePrModal.successTitle":"Committet og opprettet PR","localConversationPage.commitAndPushModal.errorTitle":"Commit og push mislyktes","localConversationPage.commitAndPushModal.successTitle":"Committet og pushet endringer","localConversationPage.commitCreatePr.open":"Åpne pull-forespørsel","localConversationPage.commitCreatePr.successTitle":"Opprettet PR med dine siste endringer","localConversationPage.createBranchButtonLabel":"Opprett gren her","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"–","localConversationPage.createPrModal.confirm":"Opprett PR","localConversationPage.createPrModal.createDescription":"Åpne en pull request for de siste endringene dine.","localConversationPage.createPrModal.errorTitle":"Pull request mislyktes","localConversationPage.createPrModal.headBranch":"Hode","localConversationPage.createPrModal.headBranchUnknown":"–","localConversationPage.createPrModal.open":"Åpne PR","localConversationPage.createPrModal.successTitle":"Pull-forespørsel opprettet","localConversationPage.createPrModal.title":"Opprett pull request","localConversationPage.createPrModal.viewDescription":"Det finnes allerede en pull request for denne grenen.","localConversationPage.createPrModal.viewTitle":"Pull request klar","localConversationPage.createPullRequestAuthGh":"Autentiser GitHub CLI: run “gh auth login”","localConversationPage.createPullRequestBranchMissing":"Informasjon om gren ikke tilgjengelig","localConversationPage.createPullRequestButtonLabel":"Opprett PR","localConversationPage.createPullRequestButtonLabel.loading":"Oppretter PR …","localConversationPage.createPullRequestDefaultBranchMissing":"Informasjon om standardgren ikke tilgjengelig","localConversationPage.createPullRequestError":"Kunne ikke opprette pull-forespørsel","localConversationPage.createPullRequestExistingPullRequest":"Det finnes allerede en pull request for denne grenen","localConversationPage.createPullRequestGhStatusMissing":"Laster GitHub CLI-status…","localConversationPage.createPullRequestInstallGh":"Installer GitHub CLI (gh) for å opprette PR-er","localConversationPage.createPullRequestNoRepo":"Ingen git-repositorier funnet","localConversationPage.createPullRequestPushStatusMissing":"Laster push-status ...","localConversationPage.createPullRequestSetUpstream":"Push denne grenen før du oppretter en PR","localConversationPage.createPullRequestSuccessToast":"Pull-forespørsel opprettet","localConversationPage.createPullRequestSwitchBranch":"Sjekk ut en funksjonsgren før du oppretter en PR","localConversationPage.error.render":"Feil ved gjengivelse av lokal samtale","localConversationPage.error.toast":"Samtale ikke funnet","localConversationPage.forcePushError":"Kunne ikke tvinge push","localConversationPage.generatePullRequestMessageError":"Kunne ikke generere tittel og beskrivelse for pull-forespørsel","localConversationPage.generatePullRequestMessageFailed":"Kunne ikke generere tittel og beskrivelse for pull-forespørsel.","localConversationPage.gitActionResult.branch":"Gren","localConversationPage.gitActionResult.cancel":"Avbryt","localConversationPage.gitActionResult.close":"Lukk","localConversationPage.gitActionResult.tryAgain":"Prøv på nytt","localConversationPage.gitActions":"Git-handlinger","localConversationPage.newChat":"Ny chat","localConversationPage.openInTarget":"Åpne i","localConversationPage.openPrimaryTarget":"Åpne","localConversationPage.planItemsCompleted":"{completedItems} av {totalItems, plural, one {# oppgave fullført} other {# oppgaver fullført}}","localConversationPage.pushAuthError":"Push mislyktes: autentisering kreves","localConversationPage.pushBranchMissing":"Informasjon om gren ikke tilgjengelig","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Pusher …","localConversationPage.pushError":"Kunne ikke pushe endringer","localConversationPage.pushModal.branchLabel":"Gren","localConversationPage.pushModal.branchUnknown":"–","localConversationPage.pushModal.cancel":"Avbryt","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Push dine siste commits til det eksterne repositoriet.","localConversationPage.pushModal.errorTitle":"Push mislyktes","localConversationPage.pushModal.forcePush":"Tving push","localConversationPage.pushModal.successTitle":"Push fullført","localConversationPage.pushModal.title":"Push-endringer","localConversationPage.pushModal.tryAgain":"Prøv på nytt","localConversationPage.pushNoUpstream":"Angi en upstream før du pusher denne grenen","localConversationPage.pushNoUpstreamError":"Push mislyktes: ingen oppstrøm konfigurert","localConversationPage.pushNothingToPush":"Ingen nye commiter å pushe","localConversationPage.pushRemoteChangedError":"Push mislyktes: ekstern har nye commiter","localConversationPage.pushRemoteRejectedError":"Push avvist av ekstern","localConversationPage.pushStatusMissing":"Laster push-status ...","localConversationPage.pushSuccessToast":"Pushede endringer","localConversationPage.viewPullRequestButtonLabel":"Vis PR","localConversationPage.viewPullRequestButtonLabel.loading":"Laster pull-forespørsel …","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fil} other {# filer}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liste} other {# lister}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# søk} other {# søk}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Utforsker","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Utforsket","localConversationTurn.exploration.accordion.header.complete.withCounts":"Utforsket {counts}","localConversationTurnStory.showContent":"Vis innhold","localConversationTurnStory.streamContent":"Strøm innhold","localConversationTurnStory.toggleReasoning":"Vis resonnement","localTaskRow.archiveError":"Kunne ikke arkivere samtale","localTaskRow.resumeError":"Kunne ikke gjenoppta oppgave","mermaidDiagram.ariaLabel":"Mermaid-diagram","mermaidDiagram.copySource":"Kopier Mermaid","mermaidDiagram.originalCode":"Mermaid-kildekode","notifications.permissions.description":"Vis varsler når varslingstillatelser kreves","notifications.permissions.label":"Aktiver tillatelsesvarsler","notifications.turnMode.always":"Alltid","notifications.turnMode.description":"Angi når Codex varsler deg om at den er ferdig","notifications.turnMode.label":"Varsler om fullførte turer","notifications.turnMode.off":"Aldri","notifications.turnMode.unfocused":"Bare når den ikke er i fokus","patchApprovalRequest.approve":"Godkjenn","patchApprovalRequest.menu.allowAlways":"Ja, og ikke spør igjen denne økten","patchApprovalRequest.menu.allowForSession":"Ja, og ikke spør igjen denne økten","patchApprovalRequest.menu.allowOnce":"Ja","patchApprovalRequest.prompt":"Vil du utføre disse endringene?","patchApprovalRequest.reject":"Nei","patchApprovalRequest.waitingForApproval":"Venter på godkjenning for å redigere filer","pendingRequest.approvalExec.collapse":"Skjul","pendingRequest.approvalExec.expand":"Utvid","pendingRequestStory.toastAnswer":"Svar: {answer}","pendingRequestStory.toastApprovalTitle":"Godkjenningssvar","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Oppfølging sendt","pendingRequestStory.toastNoAnswers":"Ingen svar gitt","pendingRequestStory.toastQuestion":"Spørsmål: {question}","pendingRequestStory.toastUnknownDecision":"Ukjent","pendingRequestStory.toastUserInputTitle":"Innsendte svar","quickAction.request.codeReview.branches.new":"Se gjennom endringer på {from} mot {to}","quickAction.request.codeReview.uncommitted.new":"Se gjennom mine ikke-forpliktede endringer","reasoningItem.thinking":"Tenker","reasoningItem.thought":"Tenkte","reasoningItem.thoughtWithElapsed":"Tenkte i {elapsed}","recentConversations.title":"Nylige samtaler","recentTasks.worktreeInitFailedTitle":"Arbeidstre-init mislyktes","recentTasks.worktreeSettingUpTitle":"Setter opp arbeidstre","requestInputPanel.continue":"Fortsett","requestInputPanel.dismiss":"Avvis","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Skriv her","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nei, og fortell Codex hva den skal gjøre annerledes","requestInputPanel.selectedBadge":"Valgte","requestInputPanel.skip":"Hopp over","requestInputPanel.submit":"Send inn","review.commit.ariaLabel.includeUnstaged":"Inkluder uindekserte","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commiter ...","review.commit.disabled.loadingDiff":"Laster diff …","review.commit.disabled.missingContext":"Legg til litt kontekst for å generere en commit-melding","review.commit.disabled.noChanges":"Ingen endringer for commit","review.commit.disabled.noSelection":"Velg endringer for commit","review.commit.disabled.unavailable":"Commit er ikke tilgjengelig akkurat nå","review.commit.error":"Kunne ikke committe endringer","review.commit.form.changesToBeCommitted":"Endringer","review.commit.form.commitTo":"Gren","review.commit.form.commitTo.none":"–","review.commit.form.continue":"Fortsett","review.commit.form.title":"Commit endringene dine","review.commit.generate.emptyResponse":"Kunne ikke generere en commit-melding.","review.commit.generate.failed":"Kunne ikke generere commit-melding: {error}","review.commit.generate.missingPrompt":"Legg til litt kontekst for å generere en commit-melding.","review.commit.includeUnstaged":"Inkluder uindekserte","review.commit.loading.description":"Vent litt, dette kan ta noen øyeblikk …","review.commit.loading.step.commit.done":"Endringer committed","review.commit.loading.step.commit.pending":"Commit av endringer","review.commit.loading.step.createPr.done":"Opprettet en pull request","review.commit.loading.step.createPr.pending":"Oppretter en pull request","review.commit.loading.step.push.done":"Pushet til gren {branch}","review.commit.loading.step.push.pending":"Pusher til gren {branch}","review.commit.loading.title.commit":"Commit av endringer","review.commit.loading.title.createPr":"Oppretter en PR","review.commit.loading.title.push":"Pusher endringer","review.commit.messageLabel":"Commit-melding","review.commit.messagePlaceholder":"La stå tomt for å autogenerere en commit-melding","review.commit.nextSteps":"Neste trinn","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit og opprett PR","review.commit.nextSteps.commitAndPush":"Commit og push","review.commit.nextSteps.prRequiresGh":"Krever GitHub CLI: {command}","review.commit.rows.changes":"Endringer","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# commiter}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# commiter}} og {stats}","review.commit.rows.fileCount":"{count, plural, one {# fil} other {# filer}}","review.commit.state.error.body":"Noe gikk galt under commit. Sjekk git-status og prøv igjen.","review.commit.state.error.title":"Commit mislyktes","review.commit.state.success.title":"Endringer committet","review.commit.untracked.loadingStats":"Laster inn ikke-sporede diff-statistikker …","reviewFindingAttachments.count":"{count, plural, one {# funn} other {# funn}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Rediger konfigurasjonen for å tilpasse agentens oppførsel","settings.agent.configuration.configToml.docs":"Dokumenter","settings.agent.configuration.subtitle":"Disse innstillingene gjelder overalt hvor Codex brukes","settings.automations.banner.danger":"Automatiseringer kjøres med de standard sandkasseinnstillingene dine, som for øyeblikket er satt til Full tilgang. Å kjøre bakgrunnsautomatiseringer med Full tilgang medfører økt risiko, siden Codex kan endre filer, kjøre kommandoer og få tilgang til nettverket uten å spørre. Vurder å oppdatere sandkasseinnstillingene til skrivetilgang for arbeidsområde, og bruke <rulesDocsLink>regler</rulesDocsLink> for å selektivt definere hvilke kommandoer agenten kan kjøre med full tilgang.","settings.automations.banner.defaultHowTo.default":"Automatiseringer kjører med de standard sandkasseinnstillingene dine. Verktøykall vil feile hvis de krever endringer av filer utenfor arbeidsområdet, tilgang til nettverk eller arbeid med apper på datamaskinen din. Du kan selektivt tillate at kommandoer kjøres utenfor sandkassen ved å bruke <rulesDocsLink>regler</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatiseringer kjører med standard sandkasseinnstillinger, som er satt til kun lesetilgang. Verktøykall vil feile hvis de krever endring av filer, tilgang til nettverk eller arbeid med apper på datamaskinen din. Vurder å oppdatere sandkasseinnstillingene til skrivetilgang for arbeidsområde.","settings.automations.cancel":"Avbryt","settings.automations.create":"Opprett","settings.automations.cwdEmpty":"Ingen prosjektmapper tilgjengelige","settings.automations.cwdLabel":"Prosjekter","settings.automations.cwdPlaceholder":"Velg en mappe","settings.automations.cwdSubtitle":"Hvis du vil at en automatisering skal kjøre på en bestemt gren, kan du spesifisere den i meldingen din.","settings.automations.delete":"Slett","settings.automations.dialog.editTitle":"Rediger automatisering","settings.automations.dialog.newTitle":"Ny automatisering","settings.automations.dialog.subtitle":"Automatiser gjentakende oppgaver i bakgrunnen. Codex legger funn i innboksen, eller arkiverer oppgaven automatisk hvis det ikke er noe å rapportere. <learnMoreLink>Finn ut mer</learnMoreLink>","settings.automations.dialog.title":"Opprett automatisering","settings.automations.executionCopy.git":"Automatiseringer kjører i bakgrunnen på dedikerte arbeidstrær.","settings.automations.executionCopy.nonGit":"Automatiseringer i prosjekter uten versjonskontroll kjøres direkte i prosjektmappen. Vurder å bruke Git for å aktivere kjøring på arbeidstrær i bakgrunnen.","settings.automations.executionEnvironment.local":"Lokal","settings.automations.executionEnvironment.worktree":"Arbeidstre","settings.automations.loading":"Laster ...","settings.automations.nameLabel":"Navn","settings.automations.namePlaceholder":"Sjekk for Sentry-problemer","settings.automations.pause":"Pause","settings.automations.promptLabel":"Melding","settings.automations.promptPlaceholder":"se etter krasjer i $Sentry","settings.automations.resume":"Gjenoppta","settings.automations.rruleSummaryFallback":"Egendefinert tidsplan","settings.automations.runNow":"Test","settings.automations.save":"Lagre","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} t","settings.automations.scheduleBadge.weekdays":"Ukedager","settings.automations.scheduleBadge.weekends":"Helgedager","settings.automations.scheduleHeader":"Tidsplan","settings.automations.scheduleHours":"timer","settings.automations.scheduleLabel":"Kjør hver(t)","settings.automations.scheduleMode.daily":"Daglig","settings.automations.scheduleMode.interval":"Intervall","settings.automations.scheduleModeLabel":"Type tidsplan","settings.automations.scheduleSummary.daily":"Daglig kl. {time}","settings.automations.scheduleSummary.interval":"Hver {count} t","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dag} other {# dager}}","settings.automations.scheduleSummary.intervalDays":"{interval} på {days}","settings.automations.scheduleSummary.intervalHourly":"Hver time","settings.automations.scheduleSummary.singleDay":"{day} kl. {time}","settings.automations.scheduleSummary.weekdays":"Ukedager kl. {time}","settings.automations.scheduleSummary.weekdaysLabel":"ukedager","settings.automations.scheduleSummary.weekends":"Helgedager kl. {time}","settings.automations.scheduleSummary.weekendsLabel":"helgedager","settings.automations.scheduleSummary.weekly":"{days} kl. {time}","settings.automations.scheduleWeekdays":"På","settings.automations.weekdayState.excluded":"Unntatt","settings.automations.weekdayState.included":"Inkludert","settings.conversationDetail.steps":"Trinn","settings.conversationDetail.steps.description":"Skjul kommandoer og utdata","settings.conversationDetail.stepsWithCommands":"Trinn med kodekommandoer","settings.conversationDetail.stepsWithCommands.description":"Vis kommandoer, skjul utdata","settings.conversationDetail.stepsWithOutput":"Trinn med kodeutdata","settings.conversationDetail.stepsWithOutput.description":"Vis kommandoer og utvid utdata","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ingen arkiverte chatter.","settings.dataControls.archivedChats.error":"Kunne ikke laste arkiverte chatter.","settings.dataControls.archivedChats.loading":"Laster arkiverte chatter …","settings.dataControls.archivedChats.unarchive":"Opphev arkivering","settings.dataControls.archivedChats.unarchiveError":"Kunne ikke oppheve arkivering av chat","settings.dataControls.archivedChats.unarchiveSuccess":"Arkivering av tråd opphevet. <viewNowLink>Vis nå</viewNowLink>","settings.dataControls.archivedChats.untitled":"Chat uten tittel","settings.editRow.headerPlaceholder":"Nøkkel","settings.editRow.removeEntry":"Fjern oppføring","settings.editRow.valuePlaceholder":"Verdi","settings.general.appearance":"Utseende","settings.general.appearance.codeFont":"Kodefont","settings.general.appearance.codeFont.description":"Juster skrifttypen og størrelsen som brukes for kode på tvers av samtaler og differ","settings.general.appearance.codeFontFamily":"Skriftfamilie for kode","settings.general.appearance.codeFontSize":"Skriftstørrelse for kode","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"La vinduer bruke en solid bakgrunn i stedet for systemets innstilling for gjennomsiktighet","settings.general.appearance.opaqueWindows.label":"Bruk ugjennomsiktig vindusbakgrunn","settings.general.appearance.sansFontFamily":"Sans-skriftfamilie","settings.general.appearance.sansFontFamily.description":"Juster skrifttypen som brukes for Codex UI","settings.general.appearance.sansFontSize":"Sans-skriftstørrelse","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Vis feiringseffekter i hele vinduet mens GPT-5.3-Codex-Spark kjører sin første runde","settings.general.appearance.sparkCelebrationEffects.label":"Spark-feiringseffekter","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Mørk","settings.general.appearance.theme.description":"Bruk lys, mørk eller det samme som systemet","settings.general.appearance.theme.light":"Lys","settings.general.appearance.theme.system":"System","settings.general.appearance.usePointerCursors.description":"Endre markøren til en peker når du holder musepekeren over interaktive elementer","settings.general.appearance.usePointerCursors.label":"Bruk pekermarkører","settings.general.enterBehavior.description":"Når aktivert, krever flerlinjede meldinger {modifierSymbol} + enter for å sende.","settings.general.enterBehavior.label":"Krev {modifierSymbol} + enter for å sende lange meldinger","settings.general.experimentalFeatures":"Eksperimentelle funksjoner (beta)","settings.general.experimentalFeatures.empty":"Ingen beta-eksperimentelle funksjoner tilgjengelige.","settings.general.experimentalFeatures.loading":"Laster eksperimentelle funksjoner …","settings.general.experimentalFeatures.restartNote":"Start Codex på nytt for å ta i bruk endringer i eksperimentelle funksjoner","settings.general.experimentalFeatures.toggle":"Vis/skjul {featureName}","settings.general.followUpQueueMode.description":"Sett oppfølginger i kø mens Codex kjører eller styr den pågående kjøringen","settings.general.followUpQueueMode.interrupt":"Styr","settings.general.followUpQueueMode.label":"Oppfølgingsoppførsel","settings.general.followUpQueueMode.queue":"Kø","settings.general.notifications":"Varsler","settings.general.power.preventSleepWhileRunning.description":"Hold datamaskinen våken mens Codex kjører en tråd.","settings.general.power.preventSleepWhileRunning.label":"Forhindre hvilemodus under kjøring","settings.git.branchPrefix.ariaLabel":"Prefiks for gren","settings.git.branchPrefix.description":"Prefiks som brukes når du oppretter nye grener i Codex","settings.git.branchPrefix.label":"Prefiks for gren","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Kunne ikke lagre grenprefiks","settings.git.branchPrefix.save.success":"Lagret grenprefiks","settings.git.commitInstructions.ariaLabel":"Commit-instruksjoner","settings.git.commitInstructions.description":"Lagt til i meldinger for generering av commit-meldinger","settings.git.commitInstructions.label":"Commit-instruksjoner","settings.git.commitInstructions.placeholder":"Legg til veiledning for commit-melding …","settings.git.commitInstructions.save":"Lagre","settings.git.commitInstructions.save.error":"Kunne ikke lagre commit-instruksjoner","settings.git.commitInstructions.save.success":"Commit-instruksjoner lagret","settings.git.forcePush.ariaLabel":"Alltid tving push","settings.git.forcePush.description":"Bruk --force-with-lease når du pusher fra Codex","settings.git.forcePush.label":"Alltid tving push","settings.git.forcePush.save.disabled":"Alltid tving push deaktivert","settings.git.forcePush.save.enabled":"Alltid tving push aktivert","settings.git.forcePush.save.error":"Kunne ikke lagre tving push-innstilling","settings.git.prInstructions.ariaLabel":"Instruksjoner for pull-forespørsel","settings.git.prInstructions.description":"Lagt til i pull-forespørselsbeskrivelser opprettet av Codex","settings.git.prInstructions.label":"Instruksjoner for pull-forespørsel","settings.git.prInstructions.placeholder":"Legg til veiledning for pull-forespørsel …","settings.git.prInstructions.save":"Lagre","settings.git.prInstructions.save.error":"Kunne ikke lagre instruksjoner for pull-forespørsel","settings.git.prInstructions.save.success":"Lagret instruksjoner for pull-forespørsel","settings.ide.defaultOpenTarget.description":"Der filer og mapper åpner som standard","settings.ide.defaultOpenTarget.label":"Standard destinasjon ved åpning","settings.ide.defaultOpenTarget.placeholder":"Ingen mål funnet","settings.ide.language.auto":"Automatisk deteksjon","settings.ide.language.autoOption":"Automatisk deteksjon","settings.ide.language.description":"Språk for appens brukergrensesnitt","settings.ide.language.label":"Språk","settings.ide.language.search":"Søk i språk","settings.layout.actionButton":"Start utvidelse på nytt","settings.layout.actionTitle":"Innstillinger med handling","settings.layout.fullWidthTitle":"Innstillinger (full bredde)","settings.layout.title":"Innstillinger","settings.localEnvironments.actions.add":"Legg til handling","settings.localEnvironments.actions.add.description":"Opprett en ny kommando for å kjøre fra verktøylinjen.","settings.localEnvironments.actions.add.save":"Lagre","settings.localEnvironments.actions.empty":"Legg til en handling for å kjøre kommandoer fra den lokale verktøylinjen.","settings.localEnvironments.actions.icon.debug":"Feilsøking","settings.localEnvironments.actions.icon.run":"Kjør","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Verktøy","settings.localEnvironments.actions.item.button.delete":"Slett","settings.localEnvironments.actions.item.command":"Handlingsskript","settings.localEnvironments.actions.item.name":"Navn","settings.localEnvironments.actions.item.platforms":"Plattformer","settings.localEnvironments.actions.item.platforms.help":"Kjør bare på et bestemt OS.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Valg av plattform","settings.localEnvironments.actions.item.platforms.specific":"Plattformspesifikk","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Slett","settings.localEnvironments.actions.title":"Handlinger","settings.localEnvironments.breadcrumb.back":"Tilbake","settings.localEnvironments.breadcrumb.edit":"rediger","settings.localEnvironments.breadcrumb.root":"Miljøer","settings.localEnvironments.environment.actions.description":"Disse handlingene kan kjøre alle kommandoer og vil bli vist i overskriften.","settings.localEnvironments.environment.actionsLabel":"Handlinger","settings.localEnvironments.environment.create":"Opprett lokalt miljø","settings.localEnvironments.environment.defaultName":"lokalt","settings.localEnvironments.environment.edit":"Rediger lokalt miljø","settings.localEnvironments.environment.empty":"Det er ikke konfigurert noe lokalt miljø for dette prosjektet enda.","settings.localEnvironments.environment.name":"Navn","settings.localEnvironments.environment.setup":"Konfigurasjonsskript","settings.localEnvironments.environment.setup.description":"Dette skriptet vil bli kjørt ved opprettelse av arbeidstre.","settings.localEnvironments.environment.setup.hint":"Kjøres i prosjektets rotmappe.","settings.localEnvironments.environment.setup.platformOverrides":"Plattformoverstyringer","settings.localEnvironments.environment.setup.platformOverrides.add":"Legg til {platform}-konfigurasjonsskript","settings.localEnvironments.environment.setup.platformOverrides.description":"Overstyrer standardskriptet for bestemte OS.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Fjern","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Miljødetaljer","settings.localEnvironments.file.missing":"Lagre for å opprette denne filen for første gang.","settings.localEnvironments.file.parseError":"Kan ikke tolke den eksisterende filen. Lagring vil overskrive den. ({error})","settings.localEnvironments.file.path":"Fil: {path}","settings.localEnvironments.file.readError":"Kunne ikke laste inn lokale miljødata. ({error})","settings.localEnvironments.file.title":"Lokal miljøfil","settings.localEnvironments.loading.body":"Henter prosjektkonfigurasjon.","settings.localEnvironments.loading.title":"Laster lokale miljøer","settings.localEnvironments.preview.devOnly":"(kun DEV)","settings.localEnvironments.preview.save":"Lagre","settings.localEnvironments.preview.saveError":"Kunne ikke lagre filen. ({error})","settings.localEnvironments.preview.title":"Forhåndsvisning","settings.localEnvironments.save.disabled.name":"Legg til et miljønavn for å lagre.","settings.localEnvironments.save.disabled.noChanges":"Ingen endringer å lagre.","settings.localEnvironments.save.disabled.saving":"Lagrer ...","settings.localEnvironments.save.success":"Lagret lokalt miljø","settings.localEnvironments.unavailable.body":"Vi kunne ikke laste inn lokale miljøinnstillinger for dette prosjektet.","settings.localEnvironments.unavailable.title":"Lokale miljøer er utilgjengelige","settings.localEnvironments.workspace.add":"Legg til prosjekt","settings.localEnvironments.workspace.title":"Prosjekt","settings.localEnvironments.workspaceSelect.addLabel":"Legg til miljø","settings.localEnvironments.workspaceSelect.description":"Lokale miljøer forteller Codex hvordan arbeidstrær skal settes opp for et prosjekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ingen prosjekter enda. Legg til et for å konfigurere lokale miljøer.","settings.localEnvironments.workspaceSelect.errorLabel":"Miljøet krever handling","settings.localEnvironments.workspaceSelect.learnMore":"Finn ut mer","settings.localEnvironments.workspaceSelect.listLabel":"Tilgjengelige prosjekter","settings.localEnvironments.workspaceSelect.loading":"Laster prosjekter.","settings.localEnvironments.workspaceSelect.loadingLabel":"Laster miljø","settings.localEnvironments.workspaceSelect.title":"Velg et prosjekt","settings.localEnvironments.workspaceSelect.viewAction":"Vis","settings.mcp.addServer":"Legg til server","settings.mcp.app.configure":"Konfigurer","settings.mcp.app.connect":"Koble til","settings.mcp.apps.refresh":"Oppdater","settings.mcp.detail.addArgument":"Legg til argument","settings.mcp.detail.addEnvVar":"Legg til miljøvariabel","settings.mcp.detail.addEnvVarPassthrough":"Legg til variabel","settings.mcp.detail.args":"Argumenter","settings.mcp.detail.back":"Tilbake","settings.mcp.detail.command":"Kommando for å starte","settings.mcp.detail.cwd":"Arbeidskatalog","settings.mcp.detail.docs":"Åpne MCP-dokumentasjon","settings.mcp.detail.docs.link":"Dokumenter","settings.mcp.detail.envVarPassthrough":"Videresending av miljøvariabler","settings.mcp.detail.envVars":"Miljøvariabler","settings.mcp.detail.http.addEnvHeader":"Legg til variabel","settings.mcp.detail.http.addHeader":"Legg til header","settings.mcp.detail.http.bearerToken":"Bærertoken env var","settings.mcp.detail.http.envHeaders":"Headere fra miljøvariabler","settings.mcp.detail.http.headers":"Headere","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Navn","settings.mcp.detail.save":"Lagre","settings.mcp.detail.switchTransportNotice":"Hvis du ønsker å bytte MCP-servertype, vennligst avinstaller først.","settings.mcp.detail.titleExisting":"Oppdater {name} MCP","settings.mcp.detail.titleNew":"Koble til en egendefinert MCP","settings.mcp.detail.transport.http":"Strømbar HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Avinstaller","settings.mcp.empty":"Ingen egendefinerte MCP-servere tilkoblet","settings.mcp.myServers":"Egendefinerte servere","settings.mcp.partnerServer.description.figma":"Generer bedre kode ved å hente inn full Figma-kontekst","settings.mcp.partnerServer.description.github":"Integrer med GitHub API-er for å automatisere arbeidsflyter og hente ut data","settings.mcp.partnerServer.description.linear":"Integrer med Linears feilsporing og prosjektstyring","settings.mcp.partnerServer.description.notion":"Les dokumenter, oppdater sider, administrer oppgaver","settings.mcp.partnerServer.description.playwright":"Integrer nettleserautomasjon for å implementere design og teste brukergrensesnitt.","settings.mcp.partnerServer.install":"Installer","settings.mcp.partnerServer.installAndAuthenticate":"Installer og autentiser","settings.mcp.partnerServer.logoAlt":"{label} logo","settings.mcp.partnerServer.manage":"Administrer","settings.mcp.partnerServer.vendor":"av {vendor}","settings.mcp.recommendedServers":"Anbefalte servere","settings.mcp.restartApp":"Start på nytt","settings.mcp.restartExtension":"Start utvidelse på nytt","settings.mcp.server.enable":"Aktiver","settings.mcp.server.login":"Autentiser","settings.mcp.server.settings":"Innstillinger","settings.multiselect.createOption":'Opprett "{value}"',"settings.multiselect.removeOption":"Fjern","settings.nav.account":"Konto","settings.nav.agent":"Konfigurasjon","settings.nav.ariaLabel":"Innstillinger","settings.nav.back":"Tilbake til appen","settings.nav.data-controls":"Arkiverte tråder","settings.nav.environments":"Skymiljøer","settings.nav.externalTooltip":"[alfa] Åpner i nettleser","settings.nav.general-settings":"Generelt","settings.nav.git-settings":"Git","settings.nav.local-environments":"Miljøer","settings.nav.mcp-settings":"MCP-servere","settings.nav.notImplemented":"[alfa] Ikke tilgjengelig i alfa","settings.nav.personalization":"Personlig tilpasning","settings.nav.skills-settings":"Ferdigheter","settings.nav.usage-analytics":"Bruk og analyse","settings.nav.worktrees":"Arbeidstrær","settings.openSourceLicenses.back":"Tilbake","settings.openSourceLicenses.loading":"Laster ...","settings.openSourceLicenses.missing":"Ingen tredjepartsmerknader ble funnet.","settings.openSourceLicenses.notSupported":"Ikke tilgjengelig på denne verten.","settings.openSourceLicenses.rowDescription":"Tredjepartsmerknader for medfølgende avhengigheter","settings.openSourceLicenses.rowLabel":"Åpen kildekode-lisenser","settings.openSourceLicenses.subtitle":"Tredjepartsmerknader for avhengigheter som er inkludert i denne appen","settings.openSourceLicenses.title":"Åpen kildekode-lisenser","settings.openSourceLicenses.view":"Vis","settings.personalization.agents.description":"Rediger instruksjoner som tilpasser Codex til deg. {learnMore}","settings.personalization.agents.learnMore":"Finn ut mer","settings.personalization.agents.loadError":"Kunne ikke laste agents.md.","settings.personalization.agents.loading":"Laster agents.md…","settings.personalization.agents.placeholder":"Legg til egendefinerte instruksjoner …","settings.personalization.agents.retry":"Prøv på nytt","settings.personalization.agents.save":"Lagre","settings.personalization.agents.save.error":"Kunne ikke lagre agents.md","settings.personalization.agents.save.success":"Lagret agents.md","settings.personalization.agents.title":"Egendefinerte instruksjoner","settings.personalization.personality.description":"Velg en standardtone for Codex-svar","settings.personalization.personality.label":"Personlighet","settings.sample.contentBody":"Bruk denne layouten for å sette sammen innstillingspanelene dine med jevn avstand.","settings.sample.contentTitle":"Eksempel på innholdsblokk","settings.section.account":"Konto","settings.section.agent":"Konfigurasjon","settings.section.data-controls":"Arkiverte tråder","settings.section.environments":"Skymiljøer","settings.section.external":"Åpnes i nettleseren din under alfa","settings.section.general-settings":"Generelt","settings.section.git-settings":"Git","settings.section.local-environments":"Miljøer","settings.section.mcp-settings":"MCP-servere","settings.section.mcp-settings.docs":"Dokumenter","settings.section.mcp-settings.subtitle":"Koble til eksterne verktøy og datakilder.","settings.section.personalization":"Personlig tilpasning","settings.section.skills-settings":"Ferdigheter","settings.section.unavailable":"Ikke tilgjengelig i alfa enda","settings.section.usage-analytics":"Bruk og analyse","settings.section.worktrees":"Arbeidstrær","settings.threadDetail.description":"Velg hvor mye utdata fra kommandoer som skal vises i tråder","settings.threadDetail.label":"Tråddetalj","settings.worktrees.conversation.untitled":"Samtale uten tittel","settings.worktrees.delete.error":"Kunne ikke slette arbeidstre","settings.worktrees.empty.body":"Arbeidstrær opprettet av Codex vil vises her.","settings.worktrees.empty.title":"Ingen arbeidstrær enda","settings.worktrees.error.body":"Noe gikk galt under lasting av arbeidstrær.","settings.worktrees.error.retry":"Prøv på nytt","settings.worktrees.error.title":"Kunne ikke laste arbeidstrær","settings.worktrees.loading.body":"Henter informasjon om arbeidstrær.","settings.worktrees.loading.title":"Laster arbeidstrær","settings.worktrees.repository.loading":"Laster inn metadata for repositorium …","settings.worktrees.repository.unknown":"Ukjent repositorium","settings.worktrees.row.conversations":"Samtaler","settings.worktrees.row.conversations.empty":"Ingen samtaler knyttet til dette arbeidstreet.","settings.worktrees.row.conversations.loading":"Laster samtaler …","settings.worktrees.row.delete":"Slett","settings.worktrees.row.title":"Arbeidstre","sidebarElectron.addWorkspaceRoot":"Legg til nytt prosjekt","sidebarElectron.archiveThread":"Arkiver tråd","sidebarElectron.archiveThreadError":"Kunne ikke arkivere tråd","sidebarElectron.collapseFolder":"Skjul mappe","sidebarElectron.createStableWorktree.dialog.cancel":"Avbryt","sidebarElectron.createStableWorktree.dialog.create":"Opprett","sidebarElectron.debugNavLink":"Feilsøking","sidebarElectron.editWorkspaceRootOptionName":"Rediger navn","sidebarElectron.expandFolder":"Utvid mappe","sidebarElectron.groupByMenu.recency":"Kronologisk liste","sidebarElectron.groupByMenu.title":"Organiser","sidebarElectron.groupByMenu.workspace":"Etter prosjekt","sidebarElectron.inboxRouteNavLink":"Automatiseringer","sidebarElectron.markThreadUnread":"Merk som ulest","sidebarElectron.missingWorkspaceRoot":"Denne prosjektmappen ble slettet eller flyttet","sidebarElectron.newThread":"Ny tråd","sidebarElectron.newThreadInGroup":"Start ny tråd i {folder}","sidebarElectron.noRecentThreads":"Ingen nylige tråder","sidebarElectron.noTasks":"Ingen tråder","sidebarElectron.noTasks.start":"Legg til et nytt prosjekt","sidebarElectron.noTasksWithFilter":"Ingen tråder samsvarer med filtre","sidebarElectron.pinnedThreads":"Festede tråder","sidebarElectron.recentNavLink":"Tråder","sidebarElectron.recentThreads":"Nylige tråder","sidebarElectron.removeWorkspaceRootOption":"Fjern","sidebarElectron.renameThread":"Gi nytt navn til tråd","sidebarElectron.renameThreadDialogAriaLabel":"Trådtittel","sidebarElectron.renameThreadDialogCancel":"Avbryt","sidebarElectron.renameThreadDialogPlaceholder":"Legg til en tittel …","sidebarElectron.renameThreadDialogSave":"Lagre","sidebarElectron.renameThreadDialogSubtitle":"Hold den kort og gjenkjennelig.","sidebarElectron.renameThreadDialogTitle":"Gi nytt navn til tråd","sidebarElectron.renameThreadError":"Kunne ikke endre navn på tråd","sidebarElectron.renameWorkspaceRootOptionLabel":"Visningsnavn","sidebarElectron.showLess":"Vis mindre","sidebarElectron.showMenu.all":"Alle tråder","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Vis kun nylige tråder for gjeldende gren, arbeidstrær eller andre tråder som krever din oppmerksomhet","sidebarElectron.showMenu.title":"Vis","sidebarElectron.showMenu.tooltip":"Filtrer, sorter og organiser tråder","sidebarElectron.showMenu.trigger":"Filtrer tråder i sidepanelet","sidebarElectron.showMore":"Vis mer","sidebarElectron.skillsRouteNavLink":"Ferdigheter","sidebarElectron.sortMenu.created":"Opprettet","sidebarElectron.sortMenu.title":"Sorter etter","sidebarElectron.sortMenu.updated":"Oppdatert","sidebarElectron.taskNavigation":"Automatiseringsmapper","sidebarElectron.tasksInFolder":"Automatiseringer i {folder}","sidebarElectron.workspaceOptions":"Prosjekthandlinger for {folder}","sidebarElectron.worktreeGroupTooltip":"Dette er et git-arbeidstre","skills.appsPage.createSkill":"Ny ferdighet","skills.appsPage.empty.skills":"Ingen ferdigheter funnet","skills.appsPage.search.skills":"Søk i ferdigheter","skills.appsPage.search.skills.label":"Søk i ferdigheter","skills.appsPage.section.installedApps":"Installert","skills.appsPage.section.skills":"Ferdigheter","skills.appsPage.subheading":"Gi Codex superkrefter.<link>Finn ut mer</link>","skills.appsPage.tab.recommended":"Anbefalt","skills.appsPage.tab.skills":"Ferdigheter","skills.card.contentsError":"Kan ikke laste inn ferdighetsinnhold.","skills.card.disable":"Deaktiver","skills.card.disableSuccess":"{skillName} ferdighet deaktivert","skills.card.disabledBadge":"Deaktivert","skills.card.enable":"Aktiver","skills.card.enableSuccess":"{skillName} ferdighet aktivert","skills.card.loadingContents":"Laster ferdighetsinnhold ...","skills.card.more":"Flere handlinger","skills.card.open":"Åpne","skills.card.removeFailed":"Kunne ikke avinstallere ferdighet","skills.card.removeSuccess":"{skillName} ferdighet avinstallert","skills.card.toggleEnabledError":"Kunne ikke oppdatere ferdighet","skills.card.try":"Prøv","skills.card.trySkill":"Prøv ferdighet","skills.card.uninstall":"Avinstaller","skills.hero.dotLabel":"Gå til lysbilde {index}","skills.hero.next":"Neste fremhevede ferdighet","skills.hero.trySkill":"Prøv ferdighet","skills.page.createSkill":"Ny ferdighet","skills.page.empty":"Ingen ferdigheter funnet","skills.page.filteredEmpty":"Ingen ferdigheter samsvarer med filtrene dine","skills.page.filteredEmptyDescription":"Prøv å justere søket eller omfangsfiltrene dine","skills.page.heading":"Ferdigheter","skills.page.loading":"Laster ferdigheter ...","skills.page.refreshSkills":"Oppdater","skills.page.refreshSkillsToUseNew":"Oppdater for å bruke ny(e) ferdighet(er)","skills.page.search":"Søk i ferdigheter","skills.page.search.label":"Søk i ferdigheter","skills.page.subheading":"Gi Codex superkrefter.<link>Finn ut mer</link>","skills.preview.copyPrompt":"Kopier melding","skills.preview.examplePrompt":"Eksempel på melding","skills.recommended.error":"Kunne ikke laste anbefalte ferdigheter","skills.recommended.install":"Installer","skills.recommended.installSkill":"Installer ferdighet","skills.recommended.installSuccess":"{skillName} ferdighet installert","skills.recommended.installed":"Installert","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Installert av administrator","skills.scope.builtIn":"System","skills.scope.personal":"Personlig","skills.scope.repo":"Repositorium","skills.scope.system":"System","skills.scope.team":"Team","skills.scope.user":"Bruker","skills.section.installed":"Installert","skills.section.recommended":"Anbefalt","story.slidingToggle.existing":"Eksisterende","story.slidingToggle.fromLocal":"Fra lokalt","story.slidingToggle.new":"Ny","story.slidingToggle.toLocal":"Til lokalt","terminal.close":"Lukk terminal","terminal.title":"Terminal","thinkingShimmer.default":"Tenker","threadEnvIcon.cloudTooltip":"Denne samtalen kjører i Codex Cloud.","threadEnvIcon.localTooltip":"Denne samtalen kjører lokalt.","threadEnvIcon.worktreeTooltip":"Denne samtalen kjører i et lokalt git-arbeidstre.","threadHeader.archiveConfirmCancel":"Avbryt","threadHeader.archiveConfirmConfirm":"Arkiver","threadHeader.copySessionId":"Kopier økt-ID","threadHeader.copyWorkingDirectory":"Kopier arbeidskatalog","threadHeader.forkIntoLocal":"Forgren til lokal","threadHeader.forkIntoWorktree":"Forgren til et nytt arbeidstre","threadHeader.forkPendingWorktreePrompt":"Forgren denne samtalen til et nytt arbeidstre.","threadHeader.forkPendingWorktreeTitle":"Forgrenet samtale","threadHeader.forkThreadError":"Kunne ikke forgrene tråd","threadHeader.forkThreadRequiresGitRepo":"Forgrening til et nytt arbeidstre krever et git-repositorium","threadHeader.moreActions":"Trådhandlinger","threadPage.newThread":"Ny tråd","threadPage.runAction.changeEnvironment":"Endre miljø","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} handlinger","threadPage.runAction.environmentSelector.label":"Velg miljø","threadPage.runAction.label":"Kjør","threadPage.runAction.missing.label":"Sett opp en handling for kjøring","threadPage.runAction.setup.commandLabel":"Kommando for å kjøre","threadPage.runAction.setup.description":"Fortell Codex hvordan du installerer avhengigheter og starter appen din.","threadPage.runAction.setup.editMore":"Miljøinnstillinger","threadPage.runAction.setup.placeholder":"f.eks.: npm install npm run","threadPage.runAction.setup.submit":"Lagre og kjør","threadPage.runAction.setup.title":"Kjør","threadPage.runAction.tooltip.withEnvironment":"{environmentName} handlinger","threadPage.toggleDiffPanel":"Vis/skjul diff-panel","threadPage.toggleTerminal":"Vis/skjul terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Åpne mappe","toolSummaryForCmd.exploredFiles":"<verb>Oppførte</verb> filer","toolSummaryForCmd.exploredFilesInPath":"<verb>Oppførte</verb> filer i {path}","toolSummaryForCmd.exploringFiles":"<verb>Oppfører</verb> filer","toolSummaryForCmd.exploringFilesInPath":"<verb>Oppfører</verb> filer i {path}","toolSummaryForCmd.ranGenericCommand":"<status>Kjørte kommando</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Kjørte</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lest</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Kjører kommando</status>{timer}","toolSummaryForCmd.runningTimer":"for {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Søkte</verb> etter {query}","toolSummaryForCmd.searchedForFiles":"<verb>Søkte</verb> etter filer","toolSummaryForCmd.searchedForInPath":"<verb>Søkte</verb> etter {query} i {path}","toolSummaryForCmd.searchingFor":"<verb>Søker</verb> etter {query}","toolSummaryForCmd.searchingForFiles":"<verb>Søker</verb> etter filer","toolSummaryForCmd.searchingForInPath":"<verb>Søker</verb> etter {query} i {path}","traceRecording.startDetails.cancel":"Avbryt","wham.diff.addComment":"Legg til kommentar","wham.diff.binaryFile":"Binærfil ikke vist","wham.diff.noContent":"Ingen innhold","wham.fileTag.deleted":"Slettet","wham.fileTag.new":"Ny","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} t","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} md","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} u","wham.formattedRelativeDateTime.compactYearsAgo":"{value} å","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Arbeider på oppgaven din","wham.whamProposedTask.title":"Foreslått oppgave","wham.whamProposedTask.useSuggestion":"Bruk forslag","workspaceRootDialog.addError":"Kunne ikke legge til prosjekt","workspaceRootDialog.cancel":"Avbryt","workspaceRootDialog.confirmAdd":"Legg til prosjekt","workspaceRootDialog.confirmPick":"Bruk prosjekt","workspaceRootDialog.description":"Angi en bane på {host} som skal brukes som et prosjekt.","workspaceRootDialog.pathLabel":"Prosjektbane","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Legg til prosjektbane","workspaceRootDialog.title.pick":"Velg prosjektbane","worktreeInitV2.cancel":"Avbryt","worktreeInitV2.notification.failedTitle":"Konfigurasjon av arbeidstre mislyktes","worktreeInitV2.output.empty":"Venter på utdata …","worktreeInitV2.status.error":"Konfigurasjon av arbeidstre mislyktes.","worktreeInitV2.status.running":"Opprett et arbeidstre og kjør konfigurasjon.","worktreeInitV2.status.runningFork":"Oppretter et arbeidstre for å forgrene denne samtalen.","worktreeInitV2.status.success":"Arbeidstre klart.","worktreeInitV2.title":"Oppretter arbeidstre","worktreeInitV2.workLocallyInstead":"Jobb lokalt i stedet","worktreeRestoreBanner.body":"Denne trådens arbeidstre ble fjernet for å spare diskplass","worktreeRestoreBanner.missing.body":"Denne trådens arbeidskatalog finnes ikke lenger","worktreeRestoreBanner.missing.title":"Gjeldende arbeidskatalog mangler","worktreeRestoreBanner.restore.error":"Kunne ikke gjenopprette arbeidstre: {message}","worktreeRestoreBanner.restore.success":"Arbeidstre gjenopprettet","worktreeRestoreBanner.restoreCta":"Gjenopprett arbeidstre","worktreeRestoreBanner.title":"Arbeidstre ryddet opp"};Object.assign(e,globalThis.codexI18nOverrides?.["nb-NO"]);export{e as default};
 //# sourceMappingURL=nb-NO-CZBMMnQS.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopiëren","app.sidebar.hide":"Zijbalk verbergen","app.sidebar.show":"Zijbalk weergeven","app.sidebar.tooltip":"Zijbalk omschakelen","appHeader.installUpdate":"Bijwerken","appSunset.body":"Deze versie van de app wordt niet meer ondersteund. Download de nieuwste versie <here>hier</here>.","appSunset.title":"Bijwerken vereist","automation.updateDirective.create":"Maken","automation.updateDirective.open":"Openen","automation.updateDirective.untitled":"Automatisering zonder naam","automation.updateDirective.update":"Bijwerken","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# poging} other {# pogingen}}","cloudTaskRow.archiveError":"Archiveren van taak mislukt","code.diff.requestChange":"Wijziging aanvragen","code.diffComment.cancel":"Annuleren","code.diffComment.comment":"Opmerking","code.diffComment.delete":"Verwijderen","code.diffComment.save":"Opslaan","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Er zijn geen resultaten gemeld.","codex.alert.closeAriaLabel":"Sluiten","codex.appUpsellBanner.cbpApi.message":"Bouw sneller met de Codex-app. Download nu of bekijk {learnMoreLink}.","codex.appUpsellBanner.download":"Downloaden","codex.appUpsellBanner.freeGo.message":"Codex is inbegrepen in je plan tot en met 2 maart. Probeer de Codex-app om sneller te bouwen.","codex.appUpsellBanner.later":"Later","codex.appUpsellBanner.learnMoreLowercase":"meer info","codex.appUpsellBanner.new":"Nieuw","codex.appUpsellBanner.proPlusBusiness.message":"Probeer de Codex-app met een 2 keer zo hoge frequentielimiet tot en met 2 april. Download nu of lees {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-app","codex.applyDropdown.header.changes":"Wijzigingen","codex.applyDropdown.header.fileCount":"{count, plural, one {# bestand} other {# bestanden}}","codex.applyDropdown.header.rows":"rijen","codex.applyDropdown.header.title":"Wijzigingen toepassen","codex.applyDropdown.header.workspace":"Project","codex.applyDropdown.results.conflicted":"{count, plural, one {1 conflicterend bestand:} other {{count} conflicterende bestanden:}}","codex.applyDropdown.results.empty":"Geen bestanden gekopieerd","codex.applyDropdown.results.skipped":"{count, plural, one {1 bestand overgeslagen:} other {{count} bestanden overgeslagen:}}","codex.applyOrRevertBanner.apply":"Toepassen","codex.applyOrRevertBanner.applyMessage":"Wijzigingen toepassen en lokaal doorgaan?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Deze taak is gemaakt in {environment} en wordt daarom mogelijk niet correct toegepast.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"De wijzigingen zijn aangebracht in {environment} en worden daarom mogelijk niet correct toegepast.","codex.applyOrRevertBanner.reapply":"Opnieuw toepassen","codex.applyOrRevertBanner.revert":"Terugdraaien","codex.applyOrRevertBanner.revertMessage":"Toegepaste wijzigingen terugdraaien?","codex.applyResultsDialog.applied":"Correct toegepast ({count})","codex.applyResultsDialog.close":"Sluiten","codex.applyResultsDialog.conflicted":"Conflicterend ({count})","codex.applyResultsDialog.noDetails":"Geen details van bestand beschikbaar.","codex.applyResultsDialog.skipped":"Overgeslagen ({count})","codex.applyResultsDialog.title":"Resultaten toepassen","codex.archiveInfo":"Bekijk gearchiveerde chats in {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Gegevensbeheer","codex.archiveInfo.electron":"Bekijk gearchiveerde chats in {settingsLink}.","codex.archiveInfo.extension":"Bekijk gearchiveerde chats in je .codex-map.","codex.archiveInfo.settingsLink":"Instellingen","codex.banner.content.description":"Parallel taken uitvoeren, overal de voortgang volgen en PR's beoordelen met AI.","codex.banner.content.headline":"Codex doet het allemaal.","codex.cloudTaskRow.archiveTask":"Taak archiveren","codex.cloudTaskRow.confirmArchiveTask":"Bevestigen","codex.command.feedback":"Feedback","codex.command.findInThread":"Zoeken","codex.command.forceReloadSkills":"Opnieuw laden van vaardigheden afdwingen","codex.command.logOut":"Afmelden","codex.command.manageTasks":"Taken beheren","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Terug","codex.command.navigateForward":"Vooruit","codex.command.newThread":"Nieuwe draad","codex.command.nextThread":"Volgende draad","codex.command.openFolder":"Map openen","codex.command.openSkills":"Ga naar vaardigheden","codex.command.openThreadOverlay":"Draad weergeven in pop-upvenster","codex.command.personalitySettings":"Persoonlijkheid","codex.command.previousThread":"Vorige draad","codex.command.settings":"Instellingen","codex.command.toggleDiffPanel":"Diff-paneel omschakelen","codex.command.toggleSidebar":"Zijbalk omschakelen","codex.command.toggleTerminal":"Terminal omschakelen","codex.commandGroup.app":"App","codex.commandGroup.configure":"Configureren","codex.commandGroup.navigation":"Navigatie","codex.commandGroup.panels":"Panelen","codex.commandGroup.skills":"Vaardigheden","codex.commandGroup.thread":"Draad","codex.commandGroup.workspace":"Project","codex.commandMenu.noResults":"Geen overeenkomsten","codex.commandMenu.searchPlaceholder":"Zoekcommando's","codex.commandMenu.suggestedGroup":"Voorgesteld","codex.commandMenu.switchWorkspace":"Van project wisselen","codex.commandMenu.title":"Menu met commando's","codex.common.retry":"Opnieuw proberen","codex.composer.searchBranches":"Branches zoeken","codex.dialog.basic.body":"Dit is een eenvoudig modaal dialoogvenster dat gebruikmaakt van onze wrapper rond Radix Dialog.","codex.dialog.basic.cancel":"Annuleren","codex.dialog.basic.confirm":"Bevestigen","codex.dialog.basic.open":"Dialoogvenster openen","codex.dialog.basic.title":"Voorbeeld dialoogvenster","codex.dialog.long.close":"Sluiten","codex.dialog.long.line":"Scrolbare regel {index} om lange inhoud in het dialoogvenster weer te geven.","codex.dialog.long.open":"Dialoogvenster met lange inhoud openen","codex.dialog.long.title":"Dialoogvenster met lange inhoud","codex.dialog.unstyled.body":"Hier wordt verteld hoe aanroepers de opmaak van de inhoud van het dialoogvenster volledig kunnen bepalen.","codex.dialog.unstyled.open":"Niet-opgemaakt dialoogvenster openen","codex.dialog.unstyled.title":"Niet-opgemaakte inhoud","codex.diff.openInEditorPrompt.openButton":"Openen in editor","codex.diff.openInEditorPrompt.singleLine":"Dit bestand is te groot om hier weer te geven.","codex.diffView.failedToDecodeBase64Diff":"Kan base64 diff niet decoderen","codex.diffView.filesChanged":"{fileCount, plural, one {# bestand gewijzigd} other {# bestanden gewijzigd}}","codex.diffView.imagePreviewAlt":"Voorbeeld van afbeelding","codex.diffView.imagePreviewEmpty":"Geen image","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Geen diff-gegevens","codex.diffView.pdfPreview.nextPage":"Volgende pagina","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Vorige pagina","codex.diffView.pdfPreviewEmpty":"Geen PDF-voorbeeld","codex.diffView.pdfPreviewError":"Kan geen PDF-voorbeeld weergeven","codex.diffView.richPreviewDisable":"Uitgebreid voorbeeld uitschakelen","codex.diffView.richPreviewEnable":"Uitgebreid voorbeeld inschakelen","codex.diffView.richPreviewLoading":"Voorbeeld laden…","codex.diffView.richPreviewToggle":"Uitgebreid voorbeeld omschakelen","codex.diffView.switchToUnified":"Omschakelen naar samengevoegde diff","codex.environmentSelector.noEnvironment":"Geen omgeving","codex.environments.environmentSettings":"Omgevingsinstellingen","codex.environments.learnMore":"Meer info","codex.environments.listError":"Laden van omgevingen mislukt.","codex.environments.noEnvironmentsFound":"Geen omgevingen gevonden","codex.environments.searchError":"Omgevingen zoeken mislukt.","codex.errorBoundary.genericError":"Er is een fout opgetreden","codex.errorBoundary.goHome":"Opnieuw proberen","codex.file.patch.missing":"Kan geen patch voor dit bestand bouwen.","codex.gallery.automations.cwdLabel":"Projecten","codex.gallery.automations.nameLabel":"Naam","codex.gallery.automations.namePlaceholder":"Vat een taak samen","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Beschrijf wat Codex moet doen","codex.gallery.dialogs.automation.label":"Dialoogvenster voor automatisering","codex.gallery.dialogs.basic.body":"Gebruik deze indeling voor eenvoudige bevestigingen of korte formulieren.","codex.gallery.dialogs.basic.cancel":"Annuleren","codex.gallery.dialogs.basic.confirm":"Bevestigen","codex.gallery.dialogs.basic.label":"Standaard dialoogvenster","codex.gallery.dialogs.basic.title":"Voorbeeld dialoogvenster","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Beschrijf het probleem","codex.gallery.dialogs.feedbackSubmission.bad":"Slecht resultaat","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Goed resultaat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Logboeken van huidige Codex-sessie opnemen","codex.gallery.dialogs.feedbackSubmission.label":"Verzending van feedback","codex.gallery.dialogs.feedbackSubmission.other":"Overig","codex.gallery.dialogs.feedbackSubmission.placeholder":"Beschrijf het probleem hier","codex.gallery.dialogs.feedbackSubmission.submit":"Verzenden","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback geüpload. Blijft het probleem bestaan? Dan kun je een in GitHub een issue openen of de draad-ID vermelden in een bestaand open issue:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Sluiten","codex.gallery.dialogs.feedbackSuccess.label":"Feedback verzonden","codex.gallery.dialogs.feedbackSuccess.title":"Feedback geüpload","codex.gallery.dialogs.gitApplyResults.applied":"Correct toegepast (2)","codex.gallery.dialogs.gitApplyResults.close":"Sluiten","codex.gallery.dialogs.gitApplyResults.conflicted":"Conflicterend (1)","codex.gallery.dialogs.gitApplyResults.label":"Resultaten toepassen","codex.gallery.dialogs.gitApplyResults.title":"Resultaten toepassen","codex.gallery.dialogs.gitPushError.body":"Pull de nieuwste wijzigingen of dwing een push af als je zeker weet dat de remote geschiedenis veilig kan worden overschreven.","codex.gallery.dialogs.gitPushError.cancel":"Annuleren","codex.gallery.dialogs.gitPushError.force":"Push afdwingen","codex.gallery.dialogs.gitPushError.label":"Push-fout","codex.gallery.dialogs.gitPushError.subtitle":"Je branch bevindt zich achter de oorspronkelijke/hoofdbranch.","codex.gallery.dialogs.gitPushError.title":"Wijzigingen pushen mislukt","codex.gallery.dialogs.gitRevert.cancel":"Annuleren","codex.gallery.dialogs.gitRevert.confirm":"Terugdraaien","codex.gallery.dialogs.gitRevert.label":"Wijzigingen terugdraaien","codex.gallery.dialogs.gitRevert.skip":"Niet meer vragen","codex.gallery.dialogs.gitRevert.subtitle":"Met deze handeling verwijder je al deze wijzigingen.","codex.gallery.dialogs.gitRevert.title":"Wijzigingen terugdraaien?","codex.gallery.dialogs.longForm.label":"Dialoogvenster voor lange formulieren","codex.gallery.dialogs.proseModal.body":"Deze stijl wordt gebruikt voor langere instructies, onboarding of blokken met opgemaakte inhoud.","codex.gallery.dialogs.proseModal.close":"Sluiten","codex.gallery.dialogs.proseModal.subtitle":"Deel hier richtlijnen of documentatie voor langere formulieren.","codex.gallery.dialogs.proseModal.title":"Dialoogvenster voor teksten","codex.gallery.dialogs.submitBlocked.label":"Verzenden geblokkeerd","codex.gallery.dialogs.submitBlocked.message":"Je bericht kon niet worden verzonden omdat het project niet beschikbaar is.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Kan bericht niet verzenden","codex.gallery.dialogs.title":"Dialogs","codex.gallery.dropdown.filterPlaceholder":"Items filteren","codex.gallery.dropdowns.actionRow":"Rijen met handelingen","codex.gallery.dropdowns.actionRow.disabled":"Uitgeschakelde handeling","codex.gallery.dropdowns.actionRow.primary":"Primaire handeling","codex.gallery.dropdowns.actionRow.secondary":"Secundaire handeling","codex.gallery.dropdowns.actionRow.trigger":"Handelingen weergeven","codex.gallery.dropdowns.basic":"Basaal vervolgkeuzemenu","codex.gallery.dropdowns.basic.newFile":"Nieuw bestand","codex.gallery.dropdowns.basic.newFolder":"Nieuwe map","codex.gallery.dropdowns.basic.openSettings":"Instellingen openen","codex.gallery.dropdowns.basic.title":"Snelle handelingen","codex.gallery.dropdowns.basic.trigger":"Menu openen","codex.gallery.dropdowns.basic.upload":"Uploaden","codex.gallery.dropdowns.panel":"Paneeloppervlak","codex.gallery.dropdowns.panel.apply":"Toepassen","codex.gallery.dropdowns.panel.body":"Diffs controleren en toepassen op je project.","codex.gallery.dropdowns.panel.preview":"Voorbeeld","codex.gallery.dropdowns.panel.title":"Wijzigingen toepassen","codex.gallery.dropdowns.panel.trigger":"Paneel openen","codex.gallery.dropdowns.search":"Doorzoekbaar vervolgkeuzemenu","codex.gallery.dropdowns.search.first":"Alpha channel","codex.gallery.dropdowns.search.second":"Bètabranch","codex.gallery.dropdowns.search.third":"Releasekandidaat","codex.gallery.dropdowns.search.trigger":"Items filteren","codex.gallery.dropdowns.submenu":"Vervolgkeuzemenu met submenu","codex.gallery.dropdowns.submenu.optionA":"Project alpha","codex.gallery.dropdowns.submenu.optionB":"Project bèta","codex.gallery.dropdowns.submenu.optionC":"Project gamma","codex.gallery.dropdowns.submenu.primary":"Eigenaar toewijzen","codex.gallery.dropdowns.submenu.secondary":"Verplaatsen naar","codex.gallery.dropdowns.submenu.tertiary":"Archiveren","codex.gallery.dropdowns.submenu.trigger":"Handeling kiezen","codex.gallery.dropdowns.title":"Vervolgkeuzemenu's","codex.gallery.inbox.automations.close":"Sluiten","codex.gallery.inbox.automations.popover.cardTitle":"Automatisering beheren","codex.gallery.inbox.automations.popover.dialogTitle":"Automatisering beheren","codex.header.settingsTooltip":"Instellingen","codex.hunk.patch.error":"Stagen mislukt","codex.hunk.patch.missing":"Kan geen patch voor deze hunk bouwen.","codex.hunk.patch.partialSuccess":"Gedeeltelijk geslaagd","codex.hunk.patch.revertError":"Unstagen mislukt","codex.hunk.patch.revertSuccess":"Unstagen geslaagd","codex.hunk.patch.success":"Stagen geslaagd","codex.legal.autonomy.details":"Zie voor meer informatie de {link}","codex.legal.autonomy.details.link":"Codex-documenten","codex.legal.autonomy.title":"Bepaal hoeveel autonomie je wilt toekennen","codex.legal.backButton":"Terug","codex.legal.cloud.taskOne.meta":"openai/agi · 12 okt.","codex.legal.cloud.taskOne.title":"Leg de repository uit aan een nieuwe ontwerper","codex.legal.cloud.taskThree.meta":"openai/codex · 8 okt.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Maak een thema voor donkere modus","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 okt.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Verhelp een bug in de onboarding","codex.legal.continue.apikey":"Doorgaan","codex.legal.continueButton":"Volgende","codex.legal.copilot.details":"Gebruikt je Copilot-plan voor alle modelaanroepen, facturering en frequentielimieten. Het gebruik van de Codex-extensie is onderworpen aan zowel de {oaiTos} als de {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Servicevoorwaarden van GitHub","codex.legal.copilot.oaiTosLink":"Servicevoorwaarden van OpenAI Codex","codex.legal.copilot.title":"Met de kracht van GitHub Copilot","codex.legal.mistakes.review":"Controleer de geschreven code en de uitgevoerde commando's","codex.legal.mistakes.title":"Codex kan fouten maken","codex.legal.powered.details":"Gebruikt de frequentielimieten van je plan en {link}","codex.legal.powered.details.link":"voorkeuren voor trainingsgegevens","codex.legal.powered.title":"Met de kracht van je ChatGPT-account","codex.legal.step.cloud.subtitle":"Stuur taken naar Codex om op de achtergrond uit te voeren, zodat je gefocust blijft en sneller kunt werken.","codex.legal.step.cloud.title":"Draag het over aan Codex in de cloud","codex.legal.step.intro.subtitle":"Codex navigeert, bewerkt en voert commando's en tests uit, rechtstreeks in je repo. Met de kracht van je ChatGPT-account.","codex.legal.step.intro.title":"Codex in je IDE","codex.legal.step.todo.subtitle":"Schrijf een opmerking met TODO en zet die met één klik om in een Codex-taak.","codex.legal.step.todo.title":"Zet TODO's om in Codex-taken","codex.legal.todo.heading":"// TODO: schema implementeren","codex.localConversation.closeImagePreview":"Voorbeeld van afbeelding sluiten","codex.localConversation.userImageAttachment":"Bijlage van gebruiker","codex.localTaskRow.archiveTask":"Draad archiveren","codex.localTaskRow.awaitingApproval":"Wachten op goedkeuring","codex.localTaskRow.awaitingResponse":"Wacht op reactie","codex.localTaskRow.confirmArchiveTask":"Bevestigen","codex.loggedOut.apiKeyPrompt.cancel":"Annuleren","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"API-sleutel ophalen","codex.loggedOut.apiKeyPrompt.inputLabel":"Voer je OpenAI API-sleutel in","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloudtaken uitgeschakeld met API-sleutel","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloudtaken uitgeschakeld met Copilot en API-sleutel","codex.loggedOut.signIn":"Aanmelden met ChatGPT","codex.loggedOut.signIn.cancel":"Aanmelden annuleren","codex.loggedOut.signInWithCopilot":"Aanmelden met GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API-sleutel gebruiken","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} tool","codex.mcpTool.collapsedLabel.verb.called":"Aangeroepen","codex.mcpTool.collapsedLabel.verb.calling":"Aanroepen","codex.mcpTool.embeddedResource.contentLabel":"Inhoud","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-type","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Tool heeft geen inhoud geretourneerd","codex.mcpTool.rawPayloadHeading":"Onbewerkte payload {server}.{tool}-toolaanroep","codex.menu.recent":"Recent","codex.menu.seeAllHistory":"Alle geschiedenis bekijken","codex.modelCapacityBanner.headline.noReset":"{modelName} heeft de maximale capaciteit bereikt. Probeer het later opnieuw of start een nieuw gesprek met een ander model.","codex.modelCapacityBanner.headline.withReset":"{modelName} heeft de maximale capaciteit bereikt. Probeer het opnieuw na {resetDate} of start een nieuw gesprek met een ander model.","codex.modelCapacityBanner.title":"Geselecteerd model heeft de maximale capaciteit bereikt","codex.patch.change.contentsDeleted":"Inhoud verwijderd","codex.patch.change.created":"Gemaakt","codex.patch.change.created-file":"Bestand gemaakt","codex.patch.change.creating":"Bezig met maken","codex.patch.change.deleted":"Verwijderd","codex.patch.change.deleted-file":"Bestand verwijderd","codex.patch.change.deleting":"Bezig met verwijderen","codex.patch.change.edited":"Bewerkt","codex.patch.change.edited-file":"Bewerkt bestand","codex.patch.change.editing":"Bezig met bewerken","codex.patch.change.noChanges":"Geen wijzigingen","codex.patch.change.rejected-add":"Geweigerd","codex.patch.change.rejected-delete":"Geweigerd","codex.patch.change.rejected-edit":"Geweigerd","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} van {total} taken voltooid","codex.plan.todoListCreated":"Takenlijst gemaakt met {total} taken","codex.profileDropdown.apiKeyAuth":"Aangemeld met API-sleutel","codex.profileDropdown.codexSettings":"Codex-instellingen","codex.profileDropdown.copilotAuth":"Aangemeld met Copilot","codex.profileDropdown.defaultAccountTitle":"Standaardaccount","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter om lange prompts te versturen","codex.profileDropdown.enterBehaviorError":"Bijwerken van instelling mislukt","codex.profileDropdown.getPlus":"Upgraden voor hogere limieten","codex.profileDropdown.keyboardShortcuts":"Snelkoppelingen","codex.profileDropdown.language":"Taal","codex.profileDropdown.languageDefault":"Automatisch detecteren","codex.profileDropdown.languageSearchPlaceholder":"Talen zoeken","codex.profileDropdown.languageUpdateError":"Bijwerken van taal mislukt","codex.profileDropdown.logOut":"Afmelden","codex.profileDropdown.mcp":"MCP-instellingen","codex.profileDropdown.openConfigToml":"config.toml openen","codex.profileDropdown.openConfigToml.wsl":"config.toml openen in WSL-omgeving","codex.profileDropdown.openExtensionSettings":"Instellingen openen","codex.profileDropdown.openMcpSettings":"MCP-instellingen openen","codex.profileDropdown.openOnStartup":"Openen bij opstarten","codex.profileDropdown.openOnStartupError":"Bijwerken van instelling mislukt","codex.profileDropdown.openSkillsSettings":"Vaardigheidsinstellingen openen","codex.profileDropdown.personalAccountTitle":"Persoonlijk account","codex.profileDropdown.queueFollowUps":"Follow-ups in wachtrij","codex.profileDropdown.queueFollowUpsError":"Bijwerken van instelling mislukt","codex.profileDropdown.readDocs":"Documenten lezen","codex.profileDropdown.readSkillsDocs":"Documenten lezen","codex.profileDropdown.runInWsl":"Run in WSL","codex.profileDropdown.runInWslError":"Bijwerken van instelling mislukt","codex.profileDropdown.runInWslTooltip":"Voert Codex uit binnen WSL. Aanbevolen voor verbeterde sandbox-beveiliging en betere prestaties.","codex.profileDropdown.settings":"IDE-instellingen","codex.profileDropdown.settingsPage":"Instellingen","codex.profileDropdown.signInWithOpenAI":"Aanmelden met ChatGPT","codex.profileDropdown.skills":"Vaardigheidsinstellingen","codex.profileDropdown.switchToCopilotAccount":"Copilot-account gebruiken","codex.profileDropdown.switchToOpenAIAccount":"OpenAI-account gebruiken","codex.profileDropdown.todoCodelens":"TODO-opmerkingen corrigeren","codex.profileDropdown.todoCodelensError":"Bijwerken van instelling mislukt","codex.profileDropdown.windowsDocumentation":"Windows-documentatie","codex.profileFooter.signedInFallback":"Instellingen","codex.profileFooter.upgrade":"Upgraden","codex.recentTasksMenu.clearSearch":"Zoekopdracht wissen","codex.recentTasksMenu.cloud":"Cloudtaken","codex.recentTasksMenu.count":"{count, plural, =0 {Er worden geen taken uitgevoerd} one {# taak wordt uitgevoerd} other {# taken worden uitgevoerd}}","codex.recentTasksMenu.empty":"Nog geen draden","codex.recentTasksMenu.errorCloud":"Laden van taken mislukt.","codex.recentTasksMenu.errorCloud.inline":"Laden van cloudtaken mislukt.","codex.recentTasksMenu.filterAll":"Alle","codex.recentTasksMenu.filterCloudTasks":"Cloudtaken filteren","codex.recentTasksMenu.filterTooltip":"Taken filteren op omgeving","codex.recentTasksMenu.local":"Lokale taken","codex.recentTasksMenu.recent":"Alle taken","codex.recentTasksMenu.search":"Recente taken zoeken","codex.recentTasksMenu.searchEmpty":"Geen resultaat","codex.recentTasksMenu.tooltip":"Taakgeschiedenis","codex.recentTasksMenu.trigger":"Recente taken. {count, plural, one {# wordt uitgevoerd} other {# worden uitgevoerd}}","codex.remoteConversation.applyDiff.applyCta":"Wijzigingen toepassen","codex.remoteConversation.applyDiff.dropdownTitle":"Wijzigingen toepassen op een lokale branch","codex.remoteConversation.applyDiff.revertCta":"Wijzigingen terugdraaien","codex.remoteConversation.closeImagePreview":"Voorbeeld van afbeelding sluiten","codex.remoteConversation.codexCloudTask":"Je bekijkt een <u>Codex cloud</u>-taak","codex.remoteConversation.errorWithMessage":"Fout: {message}","codex.remoteConversation.loadingImage":"Afbeelding wordt geladen","codex.remoteConversation.openInWeb":"Openen op internet","codex.remoteConversation.streaming":"Bezig met opstarten","codex.remoteConversation.turnFailed":"Er is een fout opgetreden tijdens deze taak","codex.remoteConversation.turnTab.loading":"Attempt {number}","codex.remoteConversation.turnTab.title":"Attempt {number}","codex.remoteConversation.userImageAttachment":"Bijlage van gebruiker","codex.remoteConversation.viewPreviousTurns":"Openen op internet","codex.remoteConversation.viewPreviousTurns.buttonText":"Openen","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Openen op internet","codex.review.copyGitApplyCommand":"Git apply-opdracht kopiëren","codex.review.copyGitApplyCommand.toast":"Git apply-opdracht gekopieerd naar klembord","codex.review.diffTooLarge.description":"Deze diff is te groot om te worden weergegeven in het beoordelingsscherm.","codex.review.diffTooLarge.title":"Diff is te groot om weer te geven.","codex.review.expandOrCollapseDiffButton.collapse":"Alle diffs samenvouwen","codex.review.expandOrCollapseDiffButton.expand":"Alle diffs uitvouwen","codex.review.expandOrCollapseDiffMenu.collapse":"Alle diffs samenvouwen","codex.review.expandOrCollapseDiffMenu.expand":"Alle diffs uitvouwen","codex.review.fileSearch.clear":"Bestandsfilter wissen","codex.review.fileSearch.empty":"Er komen geen bestanden overeen met het huidige filter.","codex.review.fileSearch.label":"Bestanden filteren","codex.review.fileSearch.placeholder":"Bestanden filteren…","codex.review.filesChanged":"{num, plural, =0 {Geen bestanden gewijzigd} one {# bestand gewijzigd} other {# bestanden gewijzigd}}","codex.review.find.loadMore":"Meer overeenkomsten laden","codex.review.fullReview.hideFileTree":"Bestandsboom verbergen","codex.review.fullReview.showFileTree":"Bestandsboom weergeven","codex.review.header.moreOptions":"Beoordelingsopties","codex.review.largeDiff.banner":"Grote diff gedetecteerd. Er wordt één bestand tegelijk weergegeven.","codex.review.loadFullFiles.disable":"Geen volledige bestanden laden","codex.review.loadFullFiles.enable":"Volledige bestanden laden","codex.review.noDiff":"Bestandswijzigingen worden hier weergegeven","codex.review.noDiff.gitInit.createRepository":"Git-repository maken","codex.review.noDiff.gitInit.creating":"Aan het maken…","codex.review.noDiff.gitInit.error":"Git-init mislukt: {message}","codex.review.noDiff.gitInit.success":"Git-repository gemaakt","codex.review.noDiff.gitRepoRequired.description":"Houd wijzigingen bij of maak ze ongedaan in dit project","codex.review.noDiff.gitRepoRequired.title":"Maak een Git-repository","codex.review.noDiff.orNoLongerAvailable":"of de nieuwste diffs zijn niet meer beschikbaar","codex.review.noDiff.reverted":"De laatste beurt is teruggedraaid","codex.review.noDiff.revertedOrCommitted":"De laatste beurt is teruggedraaid of vastgelegd","codex.review.refreshGitQueries":"Vernieuwen","codex.review.revert.file.error":"{path} terugdraaien mislukt","codex.review.revert.file.partialSuccess":"{path} gedeeltelijk teruggedraaid","codex.review.revert.file.success":"{path} teruggedraaid","codex.review.revert.hunk.error":"Terugdraaien van hunk {hunkNumber} in {path} mislukt","codex.review.revert.hunk.partialSuccess":"Hunk {hunkNumber} in {path} gedeeltelijk teruggedraaid","codex.review.revert.hunk.success":"Hunk {hunkNumber} in {path} teruggedraaid","codex.review.revert.section.error":"Terugdraaien van sectie mislukt","codex.review.revert.section.partialSuccess":"Sectie gedeeltelijk teruggedraaid","codex.review.revert.section.success":"Sectie teruggedraaid","codex.review.revertDialog.cancel":"Annuleren","codex.review.revertDialog.confirm":"Bevestigen","codex.review.revertDialog.message":"Met deze handeling verwijder je al deze wijzigingen.","codex.review.revertDialog.skip":"Niet meer vragen","codex.review.revertDialog.title":"Wijzigingen terugdraaien?","codex.review.richPreview.disable":"Uitgebreid voorbeeld uitschakelen","codex.review.richPreview.enable":"Uitgebreid voorbeeld inschakelen","codex.review.source.cloud":"Cloud-wijzigingen","codex.review.source.local.all":"Alle wijzigingen in de branch","codex.review.source.local.lastTurn":"Wijzigingen in de laatste beurt","codex.review.source.local.uncommitted":"Niet-vastgelegde wijzigingen","codex.review.source.worktree":"Niet gecommitte worktree-wijzigingen","codex.review.stageFilter.empty.staged.description":"Accepteer bewerkingen om ze te stagen","codex.review.stageFilter.empty.staged.title":"Geen gestagede wijzigingen","codex.review.stageFilter.empty.unstaged.description":"Codewijzigingen worden hier weergegeven","codex.review.stageFilter.empty.unstaged.title":"Geen unstagede wijzigingen","codex.review.stageFilter.staged":"Gestaged","codex.review.stageFilter.staged.count":"Gestaged · {count}","codex.review.stageFilter.unstaged":"Unstaged","codex.review.stageFilter.unstaged.count":"Unstaged· {count}","codex.review.switchToSplit":"Wisselen naar gesplitste diff","codex.review.switchToUnified":"Wisselen naar samengevoegde diff","codex.review.toggleDiffView":"Diff-weergave omschakelen","codex.review.wordDiffs.disable":"Woord-diffs uitschakelen","codex.review.wordDiffs.enable":"Woord-diffs inschakelen","codex.review.wrap.disable":"Tekstterugloop uitschakelen","codex.review.wrap.enable":"Tekstterugloop inschakelen","codex.section.patch.missing":"Kan geen patch voor deze sectie bouwen.","codex.shell.collapse":"Shell samenvouwen","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Shell-inhoud gekopieerd","codex.shell.copy.copyTooltip":"Shell-inhoud kopiëren","codex.shell.copyCommand":"Commando kopiëren","codex.shell.copyOutput":"Uitvoer kopiëren","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Shell uitvouwen","codex.shell.name":"Shell","codex.shell.noOutput":"Geen uitvoer","codex.signInFailed.message":"Aanmelden mislukt: {rawMessage}","codex.stories.toast.show":"Toast weergeven","codex.stories.tooltip.basic":"Dit is een tooltip","codex.stories.tooltip.hoverMe":"Beweeg de cursor over de tekst","codex.stories.tooltip.largerOffset":"Deze tooltip heeft een grotere offset","codex.stories.tooltip.offsetButton":"Grotere offset","codex.stories.tooltip.shortcutButton":"Met snelkoppeling","codex.stories.tooltip.withShortcut":"Terminal omschakelen","codex.taskRow.title":"Nieuwe draad","codex.taskRowLayout.confirm":"Bevestigen","codex.threadFindBar.chatFilter":"Zoeken in chat","codex.threadFindBar.close":"Zoeken sluiten","codex.threadFindBar.diffFilter":"Zoeken in diffs","codex.threadFindBar.label":"Zoeken in draad","codex.threadFindBar.nextResult":"Volgende resultaat","codex.threadFindBar.noResults":"0 resultaten","codex.threadFindBar.placeholder":"Zoeken in draad...","codex.threadFindBar.placeholder.extension":"Zoeken in draad...","codex.threadFindBar.placeholder.review":"Diff zoeken…","codex.threadFindBar.placeholder.review.extension":"Diff zoeken…","codex.threadFindBar.previousResult":"Vorig resultaat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# bestand gewijzigd} other {# bestanden gewijzigd}}","codex.unifiedDiff.inlineLargeFile":"Te groot om inline te renderen","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Ongedaan maken","codex.unifiedDiff.revertPatchError":"Wijzigingen terugdraaien mislukt","codex.unifiedDiff.revertPatchSuccess":"Wijzigingen teruggedraaid","codex.unifiedDiff.reviewChangesSuffix":"wijzigingen","codex.unifiedDiff.reviewShort":"Beoordelen","codex.unifiedDiff.viewDiffTooltip":"Beoordelen","codex.upsellBanner.business.headline":"Om nu extra toegang te krijgen, moet je een verzoek aan je beheerder sturen. Anders moet je wachten tot {resetDate}.","codex.upsellBanner.cbp.headline":"Om nu extra toegang te krijgen, moet je een verzoek aan je beheerder sturen.","codex.upsellBanner.cta.addCredits":"Voeg credits toe","codex.upsellBanner.cta.upgradeAccount":"Upgraden","codex.upsellBanner.cta.viewUsage":"Gebruik bekijken","codex.upsellBanner.freeOrGo.headline":"Je frequentielimiet wordt gereset op {resetDate}. Upgrade naar Plus om Codex te blijven gebruiken.","codex.upsellBanner.general.headline":"Je frequentielimiet wordt gereset op {resetDate}.","codex.upsellBanner.general.title":"Je hebt geen Codex-berichten meer over","codex.upsellBanner.plus.headline":"Je frequentielimiet wordt gereset op {resetDate}. Voeg credits toe of upgrade naar Pro om Codex te blijven gebruiken.","codex.upsellBanner.pro.headline":"Je frequentielimiet wordt gereset op {resetDate}. Voeg credits toe om Codex te blijven gebruiken.","codex.userMessage.autoResolveSync":"Conflicten automatisch oplossen","codex.userMessage.commentCount":"{count, plural, one {# opmerking} other {# opmerkingen}}","codex.userMessage.copiedAriaLabel":"Gekopieerd","codex.userMessage.copiedTooltip":"Gekopieerd","codex.userMessage.copyAriaLabel":"Bericht kopiëren","codex.userMessage.copyTooltip":"Kopiëren","codex.userMessage.implementPlan":"Plan implementeren","codex.userMessage.noContent":"(Geen inhoud)","codex.userMessage.priorConversation":"Verwijst naar voorafgaand gesprek","codex.userMessage.reviewMode":"Beoordelingsmodus","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"voor {query}","codex.webSearch.summary.verb.completed":"Gezocht op internet","codex.webSearch.summary.verb.inProgress":"Zoekt op internet","codex.windowsInstallWslBanner.dismiss":"Sluiten","codex.windowsInstallWslBanner.installWslCta":"Sandbox inschakelen","codex.windowsInstallWslBanner.learnMore":"Meer info","codex.windowsSandboxBanner.content":"Agentmodus gebruikt een experimentele sandbox in Windows om toegang tot het bestandssysteem en netwerk te beperken. {sandboxLink}","codex.windowsSandboxBanner.title":"Sandbox voor agentmodus inschakelen","codex.windowsSubDropdown.windowsSandbox":"Windows-sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-instellingen","codexUpgradeModal.body":"Codex werkt nu op basis van GPT-5.2-Codex, ons nieuwste grensverleggende agentic coderingsmodel. Wat codering betreft, is het {link}; een verdere verbetering ten opzichte van GPT-5.2.","codexUpgradeModal.close":"Sluiten","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"slimmer en sneller","codexUpgradeModal.title":"Codex heeft zojuist een upgrade gekregen","codexUpgradeModal.tryNewModel":"Probeer GPT-5.2-Codex nu","codexUpgradeModal.useExistingModel":"Doorgaan met huidig model","commentAttachments.numComments":"{count, plural, one {# opmerking} other {# opmerkingen}}","commentAttachments.removeAriaLabel":"Bijlage met opmerkingen verwijderen","common.close":"Sluiten","composer.addContext.openFilePickerError":"Kan de bestandskiezer niet openen","composer.addContextDropdown.ariaLabel":"Bestanden en meer toevoegen","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Bestanden en meer toevoegen","composer.addPhotosAndFiles":"Foto's en bestanden toevoegen","composer.atMentionList.emptyQuery":"Typ om naar bestanden te zoeken","composer.atMentionList.loading":"Zoeken...","composer.atMentionList.noResults":"Geen resultaten","composer.attemptsSelector.option":"{count, plural, one {# versie} other {# versies}}","composer.attemptsSelector.tooltip":"Aantal parallelle pogingen dat Codex moet doen","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Stoppen","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokaal","composer.cloudFollowUp.whereRun":"Waar moet deze follow-up worden uitgevoerd?","composer.cloudTaskCreationError":"Fout bij maken van cloudtaak","composer.cloudTaskError":"Fout bij maken van taak","composer.contextWindow.autoCompactionTooltipLine1":"Codex comprimeert de context automatisch","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Contextvenster:","composer.contextWindowUsageStatusFull":"{usage}% vol","composer.contextWindowUsageStatusLeft":"{usage}% gebruikt ({remaining}% resterend)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens gebruikt","composer.customCliTooltip":"Er wordt een aangepast uitvoerbaar CLI-bestand gebruikt","composer.dictation.aria":"Dicteren","composer.dictation.cancel.aria":"Stoppen met dicteren","composer.dictation.cancel.tooltip":"Stoppen met dicteren","composer.dictation.startError":"Kan dicteren niet starten","composer.dictation.submit.aria":"Transcriberen en versturen","composer.dictation.submit.tooltip":"Transcriberen en versturen","composer.dictation.tooltip":"Ingedrukt houden om te dicteren","composer.dictation.transcribeError":"Kan audio niet transcriberen","composer.dictation.unsupported":"Dicteren is niet beschikbaar op dit apparaat","composer.dropOverlay.holdShift":"Houd {key} ingedrukt om neer te zetten","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Nieuwe maken","composer.environmentSelector.error":"Fout bij laden van omgevingen","composer.environmentSelector.goBack":"Terug naar composer","composer.environmentSelector.title":"Omgeving selecteren","composer.environmentSelector.tooltip":"Selecteer een cloudomgeving","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Selecteer een bestand","composer.filePicker.selectFiles":"Bestanden selecteren","composer.followerTooltip":"Ga naar het venster waarin dit gesprek werd gestart om verder te gaan.","composer.footer.branchSwitch.checkoutError":"Kan niet wisselen van branch: {message}","composer.footer.branchSwitch.createAndCheckout":"Nieuwe branch maken en uitchecken…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Commit de wijzigingen om een nieuwe branch te maken en uit te checken","composer.footer.branchSwitch.createBranchError":"Maken van branch mislukt: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Naam branch","composer.footer.branchSwitch.createDialog.branchExistsError":"Branch bestaat al.","composer.footer.branchSwitch.createDialog.close":"Sluiten","composer.footer.branchSwitch.createDialog.createAndCheckout":"Maken en uitchecken","composer.footer.branchSwitch.createDialog.placeholder":"nieuwe-branch","composer.footer.branchSwitch.createDialog.title":"Branch maken en uitchecken","composer.footer.branchSwitch.createDialog.trailingSlashError":"Branchnaam mag niet eindigen op “/”.","composer.footer.branchSwitch.tooltip":"Branch wisselen","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Wijzigingen committen in {fileCount, plural, one {# bestand} other {# bestanden}} om {branchName} te betalen.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"wijzigingen in {fileCount, plural, one {# bestand} other {# bestanden}} om {branchName} te betalen.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Annuleren","composer.footer.branchSwitch.uncommittedDialog.commit":"Committen en van branch wisselen...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Je wijzigingen aan de volgende bestanden worden overschreven bij het betalen:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Commit je wijzigingen om door te gaan","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"met de geselecteerde branch","composer.footer.branchSwitch.uncommittedDialog.title":"Commit wijzigingen om van branch te wisselen","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Niet gecommit: {fileCount, plural, one {# bestand} other {# bestanden}}","composer.forkSlashCommand.description":"Van deze draad een fork maken naar lokaal of een nieuwe worktree","composer.forkSlashCommand.option.local.description":"Verdergaan in een nieuwe lokale draad","composer.forkSlashCommand.option.local.title":"Fork maken naar lokaal","composer.forkSlashCommand.option.worktree.description":"Verdergaan in nieuwe worktree","composer.forkSlashCommand.option.worktree.title":"Fork maken naar nieuwe worktree","composer.forkSlashCommand.title":"Fork","composer.imageInputsUnsupported":"Dit model ondersteunt geen input van afbeeldingen. Probeer een ander model.","composer.imageUploadFailed":"Uploaden van afbeelding mislukt","composer.includeIdeContextDropdown":"IDE-context bijvoegen","composer.includeIdeContextDropdown.ariaLabel":"IDE-context bijvoegen","composer.localCwdDropdown.addWorkspaceRoot":"Nieuw project toevoegen","composer.localCwdDropdown.noActiveRoot":"Selecteer je project","composer.localCwdDropdown.noResults":"Geen mappen gevonden","composer.localCwdDropdown.title":"Selecteer je project","composer.localTaskError":"Fout bij starten van gesprek","composer.mcpSlashCommand.description":"MCP-serverstatus weergeven","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Niet geauthenticeerd","composer.mcpStatus.authOauth":"Geauthenticeerd (OAuth) ","composer.mcpStatus.authToken":"Geauthenticeerd (API-sleutel)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Sluiten","composer.mcpStatus.disabled":"Uitgeschakeld","composer.mcpStatus.emptyLabel":"Servers:","composer.mcpStatus.emptyValue":"Geen MCP-servers geconfigureerd","composer.mcpStatus.enabled":"Ingeschakeld","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"MCP-status kan niet worden geladen","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Andere modus","composer.mode.agentMode.custom":"Aangepast","composer.mode.agentMode.custom.dropdownLabel":"Aangepast","composer.mode.agentMode.custom.option":"Aangepast (config.toml)","composer.mode.agentMode.custom.optionLabel":"Aangepast (config.toml)","composer.mode.agentMode.customInfo.cancel":"Annuleren","composer.mode.agentMode.customInfo.cli":"Je kunt deze instellingen aanpassen via de CLI of door het bestand rechtstreeks te bewerken.","composer.mode.agentMode.customInfo.confirm":"Aangepaste modus gebruiken","composer.mode.agentMode.customInfo.description":"In de aangepaste modus worden de goedkeurings- en sandbox-beleidsregels toegepast die zijn gedefinieerd in je <link>config.toml</link>-bestand.","composer.mode.agentMode.customInfo.docs":"Meer info over het configureren van goedkeurings- en sandbox-beleidsregels vind je in de <link>documenten over de uitvoeringsomgeving</link>.","composer.mode.agentMode.customInfo.refresh":"Alle wijzigingen worden van kracht wanneer de agent de volgende keer wordt uitgevoerd.","composer.mode.agentMode.customInfo.title":"Hoe de aangepaste modus werkt","composer.mode.agentMode.fullAccess":"Agent (volledige toegang)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (volledige toegang)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (volledige toegang)","composer.mode.agentMode.fullAccessConfirm.caution":"Wees voorzichtig bij het inschakelen van volledige toegang. Dit verhoogt aanzienlijk het risico op gegevensverlies, lekken of onverwacht gedrag.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ja, toch doorgaan","composer.mode.agentMode.fullAccessConfirm.description":"Wanneer Codex met volledige toegang wordt uitgevoerd, kan het elk bestand op je computer bewerken en commando's uitvoeren via het netwerk, zonder je toestemming.","composer.mode.agentMode.fullAccessConfirm.goBack":"Annuleren","composer.mode.agentMode.fullAccessConfirm.title":"Volledige toegang inschakelen?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Andere modus","composer.mode.agentMode.tooltip.auto":"Bestanden lezen en bewerken en commando's uitvoeren.","composer.mode.agentMode.tooltip.custom":"Gebruik de nieuwste goedkeurings- en sandboxbeleidsregels die zijn gedefinieerd in config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Met netwerktoegang kan Codex bestanden buiten dit project bewerken en commando's uitvoeren. Wees voorzichtig bij het gebruik.","composer.mode.agentMode.tooltip.readOnly":"Vereist goedkeuring om bestanden te bewerken en commando's uit te voeren.","composer.mode.cloud.tooltip":"Werken in een cloudomgeving","composer.mode.contactAdmin":"Neem voor meer toegang contact op met je beheerder","composer.mode.local":"Lokaal","composer.mode.local.learnMore":"Meer info","composer.mode.local.model.custom":"Aangepast","composer.mode.local.model.loadingModel":"Model laden","composer.mode.local.model.selecrReasoningEffort":"Redeneren selecteren","composer.mode.local.model.selectModel":"Model selecteren","composer.mode.local.model.tooltip":"Model kiezen","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Hoog","composer.mode.local.reasoning.low.label":"Laag","composer.mode.local.reasoning.medium.label":"Gemiddeld","composer.mode.local.reasoning.minimal.label":"Minimaal","composer.mode.local.reasoning.none.label":"Geen","composer.mode.local.reasoning.xhigh.label":"Extra hoog","composer.mode.localRemoteWhereRun":"Selecteer waar de taak moet worden uitgevoerd","composer.mode.newTask.header":"Doorgaan in","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Resterende frequentielimieten","composer.mode.rateLimit.hour":"{hours} u","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"{modelName}-limiet:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {wekelijkse limiet} other {{weeks}-wekelijkse limiet}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Wekelijks} other {{weeks}-wekelijks}}","composer.mode.remote.connectToCloud":"Codex web verbinden","composer.mode.remote.connectToCloudDisabledTooltip":"Stel een omgeving in via Codex web om taken naar de cloud te kunnen versturen","composer.mode.remote.selectEnvironment":"Omgeving selecteren","composer.mode.remote.sendToCloud":"Versturen naar cloud","composer.mode.remote.setupViaWeb":"Omgeving instellen via Codex web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Werken in cloudomgeving","composer.mode.segmentedToggle.local.tooltip":"Werken in je lokale project","composer.mode.segmentedToggle.worktree.tooltip":"Werken in een parallelle worktree","composer.mode.upgradeToPlus":"Upgraden naar Plus","composer.mode.upgradeToPro":"Upgraden naar Pro","composer.mode.workLocally":"Lokaal project","composer.mode.workLocally.currentBranchFallback":"jouw branch","composer.mode.workLocally.tooltip":"Werken in {branchName}","composer.mode.worktree":"Nieuwe worktree","composer.mode.worktree.submoduleWarning":"Deze repo bevat Git-submodules. Het maken van worktrees kan mislukken","composer.mode.worktree.tooltip":"Maak een kopie van je lokale project om parallel te werken","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Midden in een gesprek van model wisselen verslechtert de prestaties.","composer.newChat.heading.browser":"Wat zullen we hierna programmeren?","composer.permissionsDropdown.custom.label":"Aangepast (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Aangepast (config.toml)","composer.permissionsDropdown.default.label":"Standaardmachtigingen","composer.permissionsDropdown.default.optionLabel":"Standaardmachtigingen","composer.permissionsDropdown.fullAccess.disabled":"Volledige toegang is uitgeschakeld door requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Machtigingen wijzigen","composer.personalitySlashCommand.description.friendly":"Warm, samenwerkend en behulpzaam","composer.personalitySlashCommand.description.pragmatic":"Beknopt, taakgericht en direct","composer.personalitySlashCommand.label.friendly":"Vriendelijk","composer.personalitySlashCommand.label.pragmatic":"Pragmatisch","composer.personalitySlashCommand.notApplicableSuffix":"(Niet van toepassing op huidige model)","composer.personalitySlashCommand.title":"Persoonlijkheid","composer.placeholder.cloudFollowUp.directFollowUp":"Opvolgtaak voor deze cloudtaak","composer.placeholder.cloudFollowUp.local":"Maak een nieuwe lokale taak die aan deze cloudtaak refereert","composer.placeholder.cloudFollowUp.workingTree":"Maak een nieuwe cloudtaak die je huidige code bevat en aan deze taak refereert","composer.placeholder.localFollowUp.cloud":"Vervolg in een nieuwe cloudtaak","composer.placeholder.localFollowUp.locally":"Vraag om vervolgwijzigingen","composer.placeholder.newTask.cloud":"Vraag Codex om iets in de cloud te doen","composer.placeholder.newTask.doAnything":"Vraag Codex om iets te doen","composer.placeholder.newTask.locally":"Vraag Codex wat je maar wilt, @ om bestanden toe te voegen, / voor opdrachten","composer.planModeDropdown":"Planmodus","composer.planModeDropdown.ariaLabel":"Planmodus","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Planmodus uitschakelen","composer.planSlashCommand.enableDescription":"Planmodus inschakelen","composer.planSlashCommand.title":"Planmodus","composer.priorContext.label":"Eerdere context","composer.priorContext.removeAriaLabel":"Eerdere context verwijderen","composer.queuedMessage.delete":"In wachtrij geplaatst bericht verwijderd","composer.queuedMessage.edit":"Bericht bewerken","composer.queuedMessage.more":"Handelingen voor in wachtrij geplaatste berichten ","composer.queuedMessage.sendNow":"Nu versturen","composer.queuedMessage.turnOff":"Wachtrijen uitzetten","composer.reasoningEffort.local.reasoning.tooltip":"Redeneerinspanning selecteren","composer.remote.branchStartingPoint":"Vanaf welke branch moet deze taak starten?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Maak een nieuwe taak die verwijst naar deze cloudtaak.","composer.remote.currentEditsSuffix.useLocal":"met lokale codewijzigingen","composer.remote.directFollowUp":"Lokale wijzigingen niet gebruiken","composer.remote.errorLoadingBranches":"Fout bij laden van branches","composer.remote.fromBranch":"Vanaf {branch}","composer.remote.fromCurrentBranch":"Vanaf {branch} (huidige)","composer.remote.loadingMoreBranches":"Laden...","composer.remote.localFileStateHeading":"Status van lokaal bestand","composer.remote.localWorkingTree":"Lokale wijzigingen gebruiken","composer.remote.startingPoint":"Vanaf welke code moet deze taak starten?","composer.reviewMode.branches.error":"Kan branches niet laden","composer.reviewMode.branches.retry":"Opnieuw proberen","composer.reviewMode.gitRoot.error":"Git root niet gevonden","composer.reviewMode.option.baseBranch.simple":"Beoordelen ten opzichte van een basisbranch","composer.reviewMode.option.unstaged.simple":"Niet-vastgelegde wijzigingen beoordelen","composer.reviewMode.quickReviewError":"Starten van codebeoordeling mislukt.","composer.reviewMode.title":"Codebeoordeling","composer.sandboxButton.unlock.disabled.tooltip":"Volledige toegang is uitgeschakeld door requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex kan een experimentele sandbox in Windows gebruiken om toegang tot het bestandssysteem en netwerk te beperken. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows-sandbox inschakelen?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Alleen-lezen gebruiken","composer.searchEnvironments":"Omgevingen zoeken","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Vaardigheden laden...","composer.skillMentionList.noResults":"Geen vaardigheden gevonden","composer.slashCommands.cloudEnvironment.title":"Cloudomgeving","composer.slashCommands.dialogLabel":"Menu met Slash-commando's","composer.slashCommands.dialogTitle":"Slash-commando's","composer.slashCommands.disabledTooltip":"Start een nieuw gesprek om slash-commando's te gebruiken","composer.slashCommands.inputPlaceholder":"Zoeken","composer.slashCommands.noResults":"Geen commando's","composer.slashCommands.skillsGroup":"Vaardigheden","composer.slashCommands.tooltip":"Browsen in Slash-commando's","composer.status.close":"Sluiten","composer.statusPlain.alertLabel":"Waarschuwing:","composer.statusPlain.alertValue":"{remaining}% over op {window}","composer.statusPlain.contextLabel":"Context:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} gebruikt / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% over","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName}-limiet:","composer.statusPlain.rateLimitDays":"Limiet van {count}d","composer.statusPlain.rateLimitFallbackLabel":"Frequentielimiet:","composer.statusPlain.rateLimitHours":"Limiet van {count}u","composer.statusPlain.rateLimitLabelBase":"Frequentielimiet","composer.statusPlain.rateLimitMinutes":"Limiet van {count}m","composer.statusPlain.rateLimitPercent":"{remaining}% over","composer.statusPlain.rateLimitReset":"wordt gereset: {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"resettijdstip niet beschikbaar","composer.statusPlain.rateLimitUnavailable":"Niet beschikbaar","composer.statusPlain.sessionCopiedAriaLabel":"Sessie-ID gekopieerd","composer.statusPlain.sessionCopiedTooltip":"ID gekopieerd","composer.statusPlain.sessionCopyAriaLabel":"Sessie-ID kopiëren","composer.statusPlain.sessionCopyTooltip":"ID kopiëren","composer.statusPlain.sessionLabel":"Sessie:","composer.statusSlashCommand.description":"Draad-ID, contextgebruik en frequentielimieten weergeven","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Kan bericht niet verzenden","composer.submit.emptyMessage":"Voer een bericht in om aan de slag te gaan","composer.submit.imageInputsUnsupported":"Verwijder afbeeldingen of kies een ander model om dit bericht te verzenden.","composer.submit.loadingLocalConfig":"Laden...","composer.submit.missingCloudConfig":"Je moet een cloudomgeving selecteren","composer.submit.missingCloudTurn":"Kan deze taak niet opvolgen","composer.submit.noWorkspace":"Voeg een project toe om Codex te gebruiken","composer.submit.waitForImageUploads":"Afbeeldingen worden geüpload...","composer.submitButtonTooltip.send":"Versturen","composer.submitButtonTooltip.stop":"Stoppen","composer.worktreeEnvironment.create":"Lokale omgeving maken","composer.worktreeEnvironment.default":"Standaardomgeving","composer.worktreeEnvironment.error":"Fout bij laden van omgevingen","composer.worktreeEnvironment.loading":"Omgevingen laden…","composer.worktreeEnvironment.title":"Lokale omgeving","composer.worktreeEnvironment.tooltip":"Selecteer een lokale omgeving","composer.worktreeSetupFailed":"Het configureren van de worktree is mislukt. Controleer .codex/environments voor een configuratiescript.","compoundButton.secondaryAction":"Secundaire handeling","copyButton.copied":"Gekopieerd","copyButton.copiedAriaLabel":"Gekopieerd","copyButton.copy":"Kopiëren","copyButton.copyAriaLabel":"Kopiëren","copyButton.copyCode":"Code kopiëren","diff.actionButton.revertFile":"Bestand terugdraaien","diff.actionButton.revertHunk":"Terugdraaien","diff.actionButton.revertSection":"Alles terugdraaien","diff.actionButton.revertSectionLabel":"Alles terugdraaien","diff.actionButton.stageFile":"Bestand stagen","diff.actionButton.stageHunk":"Stagen","diff.actionButton.stageSection":"Alles stagen","diff.actionButton.stageSectionLabel":"Alles stagen","diff.actionButton.unstageFile":"Bestand unstagen","diff.actionButton.unstageHunk":"Unstagen","diff.actionButton.unstageSection":"Alles unstagen","diff.actionButton.unstageSectionLabel":"Alles unstagen","diff.fileHeader.toggle":"Bestands-diff omschakelen","electron.onboarding.login.apikey.cancel":"Annuleren","electron.onboarding.login.apikey.continue":"Doorgaan","electron.onboarding.login.apikey.label":"OpenAI API-sleutel","electron.onboarding.login.apikey.open":"API-sleutel invoeren","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Aanmelden annuleren","electron.onboarding.login.chatgpt.continue":"Doorgaan met ChatGPT","electron.onboarding.login.devbox":"Verbinden met een externe SSH","electron.onboarding.login.error":"Aanmelden mislukt: {rawMessage}","electron.onboarding.login.snake.start":"Snake spelen","electron.onboarding.login.sshConfig.cancel":"Annuleren","electron.onboarding.login.sshConfig.continue":"Doorgaan","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-hostnaam","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"De beste manier om te bouwen met agents","electron.onboarding.login.title":"Welkom bij Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Doorgaan","electron.onboarding.welcome.doubleLimits.description":"Om de introductie van de Codex-app te vieren, krijg je een 2 keer zo hoge frequentielimiet tot en met 2 april.","electron.onboarding.welcome.freego.description":"Codex is gratis inbegrepen in je plan tot en met 2 maart. Laten we samen iets bouwen.","electron.onboarding.welcome.new.title.anon":"Welkom!","electron.onboarding.workspace.continue":"Doorgaan","electron.onboarding.workspace.empty":"Voeg een project toe om door te gaan.","electron.onboarding.workspace.listLabel":"Beschikbare projecten","electron.onboarding.workspace.loading":"Projecten laden…","electron.onboarding.workspace.openFolder":"Project toevoegen","electron.onboarding.workspace.selectAll":"Alles selecteren","electron.onboarding.workspace.skip":"Overslaan","electron.onboarding.workspace.skip.error":"Kon geen nieuw project maken: {message}","electron.onboarding.workspace.skip.error.unknown":"Onbekende fout","electron.onboarding.workspace.skipping":"Nieuw project maken…","electron.onboarding.workspace.subtitle":"Codex kan bestanden bewerken en opdrachten uitvoeren in geselecteerde mappen.","electron.onboarding.workspace.title":"Selecteer een project","errorPage.list.checkSettings":"Probeer je IDE-instellingen bij te werken","errorPage.list.configToml":"Controleer je config.toml op ongeldige instellingen","errorPage.list.downloadExtension":"Probeer een andere versie van de extensie te downloaden","errorPage.list.runInWsl":"Controleer je instellingen om het uitvoeren in WSL uit te schakelen als je compatibiliteitsproblemen ondervindt","execApprovalRequest.menu.runAlways":"Ja, en niet opnieuw vragen in deze sessie","execApprovalRequest.menu.runAlwaysWithAmendment":"Ja, en niet meer vragen voor opdrachten die beginnen met {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ja, en niet meer vragen voor opdrachten die beginnen met","execApprovalRequest.menu.runOnce":"Ja","execApprovalRequest.prompt":"Wil je deze opdracht uitvoeren?","execApprovalRequest.reject":"Nee","execFooter.exitCode":"Code {code} afsluiten","execFooter.exitCode.unknown":"onbekend","execFooter.success":"Geslaagd","feedback.dialog.category.badResult":"Slecht resultaat","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Goed resultaat","feedback.dialog.category.other":"Overig","feedback.dialog.descriptionPlaceholder":"Beschrijf het probleem hier","feedback.dialog.dismiss":"Sluiten","feedback.dialog.includeLogsLabel":"Huidige Codex-sessielogboeken opnemen","feedback.dialog.submit":"Verzenden","feedback.dialog.submitError":"We kunnen je feedback niet verzenden. Probeer het over een paar minuten nog eens.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"bestaand open issue","feedback.dialog.uploadedMessage.openIssue":"een GitHub-issue openen","feedback.dialog.uploadedMessage.withThread":"Feedback geüpload. Blijft het probleem bestaan? Dan kun je {openIssueLink} of de draad-ID vermelden in een {existingIssueLink}.","feedback.dialog.uploadedTitle":"Feedback geüpload","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} verwijderen","header.back":"Terug","header.recentChats":"Taken","header.recentTasks.seeAll":"Alle bekijken ({total})","home.header.getPlus":"Abonneer je op Plus","home.hero.letsBuild":"Laten we iets maken","homePage.mainContent":"Hoofdinhoud","imageAttachment.defaultName":"afbeelding","imageAttachment.preview.close":"Voorbeeld van afbeelding sluiten","imageAttachment.removeAriaLabel":"{filename} verwijderen","implementPlanRequest.option.implement":"Ja, implementeer dit plan","implementPlanRequest.prompt":"Dit plan implementeren?","inbox.archived.deleteError":"Kan gearchiveerde run niet verwijderen","inbox.archived.deleteRun":"Gearchiveerde run verwijderen","inbox.archived.deleteSuccess":"Gearchiveerde draad verwijderd. Bekijk deze in <settingsLink>gearchiveerde draden</settingsLink>.","inbox.archived.inlineLabel.auto":"Deze draad is automatisch gearchiveerd. <learnMoreLink>Meer info</learnMoreLink>","inbox.archived.inlineLabel.manual":"Deze draad is gearchiveerd.","inbox.archived.noMessageFound":"Geen bericht gevonden","inbox.automations.createError":"Kon geen automatisering maken","inbox.automations.deleteConfirm.cancel":"Annuleren","inbox.automations.deleteConfirm.confirm":"Automatisering verwijderen","inbox.automations.deleteConfirm.description":"Hierdoor wordt de automatisering permanent verwijderd en worden toekomstige uitvoeringen stopgezet.","inbox.automations.deleteConfirm.title":"{name} verwijderen?","inbox.automations.deleteError":"Kan automatisering niet verwijderen","inbox.automations.editTooltip":"Automatisering bewerken","inbox.automations.inProgress":"Wordt uitgevoerd","inbox.automations.new":"Nieuw","inbox.automations.newToolbar":"Nieuwe automatisering","inbox.automations.pauseTooltip":"Automatisering pauzeren","inbox.automations.resumeTooltip":"Automatisering hervatten","inbox.automations.startingNow":"Wordt nu gestart","inbox.automations.startsIn":"Begint over {startTime}","inbox.automations.status.active":"Actief","inbox.automations.status.paused":"Gepauzeerd","inbox.automations.status.runs":"{count} uitvoeringen","inbox.automations.status.started":"Begonnen {date}","inbox.automations.updateError":"Kan automatisering niet bijwerken","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Alle","inbox.filter.ariaLabel":"Inboxitems filteren","inbox.filter.unread":"Ongelezen","inbox.list.archived":"Gearchiveerd","inbox.list.inProgress":"Wordt uitgevoerd","inbox.list.recent":"Afgerond","inbox.list.upNext":"Ingepland","inbox.mode.automations":"Automatisering","inbox.mode.automations.beta":"Bèta","inbox.noDescription":"Geen beschrijving opgegeven","inbox.openThread":"Draad openen","inbox.rightPanel.emptySubtitle":"Automatiseer werk door ingeplande taken in te stellen","inbox.rightPanel.emptySubtitle.learnMore":"Automatiseer werk door ingeplande draden in te stellen. <link>Meer info</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# actieve automatisering} other {# actieve automatiseringen}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Geen ongelezen automatiseringen","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ongelezen automatisering} other {# ongelezen automatiseringen}}","inbox.rightPanel.emptyTitle":"Geen item geselecteerd","inbox.rightPanel.noThread":"Geen draad voor dit item","inbox.rightPanel.quickStart.header":"Beginnen met een sjabloon","inbox.untitled":"Inbox-item zonder titel","loadingPage.documentationLink":"documentatie","loadingPage.errorDescription":"Codex is gecrasht met de volgende fout:","loadingPage.errorDescription.documentation":"Klik op ‘Opnieuw laden’ om de Codex-extensie opnieuw te starten, of ga naar onze {documentationLink} voor meer hulp.","loadingPage.errorSignal":"Enkele dingen die je kunt proberen:","loadingPage.errorTitle":"Er is een fout opgetreden","loadingPage.openConfigToml":"Config.toml openen","loadingPage.reload":"Opnieuw laden","localConversation.contextCompacted":"Context automatisch gecomprimeerd","localConversation.contextCompacting":"Context wordt automatisch gecomprimeerd","localConversation.forkedFromConversation":"Fork gemaakt vanuit {threadTitle}","localConversation.merge.autoResolve.failed":"Verzoek om automatisch oplossen mislukt: {error}","localConversation.merge.autoResolve.sent":"Verzoek om automatisch oplossen verstuurd","localConversation.merge.autoResolveMerge.missingConversation":"Automatisch oplossen niet mogelijk zonder actief gesprek.","localConversation.merge.autoResolveMerge.request":"De samenvoegingsconflicten automatisch oplossen","localConversation.modelChanged":"Model gewijzigd van {fromModel} in {toModel}.","localConversation.modelChanged.warning.line1":"Midden in een gesprek van model wisselen verslechtert de prestaties.","localConversation.modelChanged.warning.line2":"Context wordt mogelijk automatisch gecomprimeerd.","localConversation.moveThread.createBranch.label":"Branch maken","localConversation.moveToLocal.disabled.loading":"Laden...","localConversation.moveToLocal.modal.continue":"Doorgaan","localConversation.moveToLocal.modal.destinationLabel":"Verplaatsen naar","localConversation.moveToLocal.modal.retry":"Opnieuw proberen","localConversation.moveToWorktree.modal.back":"Terug","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Branch bestaat al.","localConversation.moveToWorktree.modal.branchesError":"Kan branches niet laden","localConversation.moveToWorktree.modal.branchesLoading":"Branches laden…","localConversation.moveToWorktree.modal.branchesRetry":"Opnieuw proberen","localConversation.moveToWorktree.modal.continue":"Doorgaan","localConversation.moveToWorktree.modal.retry":"Opnieuw proberen","localConversation.moveToWorktree.modal.trailingSlashError":"Branchnaam mag niet eindigen op “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nieuwe-branch","localConversation.personalityChanged":"Overgeschakeld op de persoonlijkheid {personality}","localConversation.planSummary.collapse":"Overzicht van plan samenvouwen","localConversation.planSummary.collapseTooltip":"Samenvouwen","localConversation.planSummary.download":"Plan downloaden","localConversation.planSummary.expand":"Overzicht van plan uitvouwen","localConversation.planSummary.expandTooltip":"Uitvouwen","localConversation.planSummary.openInNewWindow":"Openen","localConversation.planSummary.openInNewWindow.tooltip":"Openen in nieuw venster","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Schrijfplan","localConversation.planSummary.viewPlan":"Plan uitvouwen","localConversation.remoteTaskCreated":"{taskLink} gemaakt in Codex Cloud","localConversation.remoteTaskCreated.task":"taak","localConversation.scrollToBottomButton":"Naar eind scrollen","localConversation.sync.buttonLabel":"Overdragen naar lokaal","localConversation.sync.buttonLabel.tooltip":"Draag wijzigingen over tussen deze worktree en je lokale uitgecheckte versie.","localConversation.sync.modal.loading.title":"Wijzigingen overdragen…","localConversation.sync.modal.noChanges":"Geen wijzigingen","localConversation.syncSetup.branchAriaLabel":"Naam branch","localConversation.syncSetup.branchName":"Naam branch","localConversation.syncSetup.branchPlaceholder.existing":"Bestaande branch selecteren","localConversation.syncSetup.branchPlaceholder.new":"codex/nieuwe-functie","localConversation.syncSetup.branchesLoading":"Branches laden…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Al uitgecheckt","localConversation.syncSetup.checkoutClean":"Momenteel op {branchName}","localConversation.syncSetup.checkoutDirty":"Momenteel op {branchName} met niet-vastgelegde wijzigingen","localConversation.syncSetup.checkoutError":"Uitchecken van branch mislukt: {message}","localConversation.syncSetup.checkoutLabel":"Nu lokaal uitchecken","localConversation.syncSetup.checkoutOnLocal":"Overdragen naar lokaal","localConversation.syncSetup.checkoutPending":"Lokale status controleren…","localConversation.syncSetup.checkoutUnavailable":"Lokale werkruimte niet beschikbaar","localConversation.syncSetup.checkoutUnknown":"Lokale branch niet beschikbaar","localConversation.syncSetup.continue":"Doorgaan","localConversation.syncSetup.createBranchError":"Instellen van overdrachtsbranch mislukt: {message}","localConversation.syncSetup.error":"Er is iets verkeerd gegaan: {message}","localConversation.syncSetup.error.workingTreeMissing":"Kon geen momentopname van de worktree maken. Probeer de overdracht opnieuw uit te voeren.","localConversation.syncSetup.mode.ariaLabel":"Branchmodus selecteren","localConversation.syncSetup.mode.existing":"Bestaande branch","localConversation.syncSetup.mode.new":"Nieuwe branch","localConversation.syncSetup.noBranches":"Geen branches gevonden","localConversation.syncSetup.overwriteError":"Branch is gemaakt, maar is nog niet volledig overgedragen. Draag de branch handmatig over voordat je deze lokaal uitcheckt.","localConversation.syncSetup.setPrefix":"Voorvoegsel instellen","localConversation.syncSetup.subtitle":"Test en bewerk worktreewijzigingen lokaal. <a>Meer info</a>","localConversation.syncSetup.success.checkedOut":"Branch is gemaakt en is lokaal uitgecheckt","localConversation.syncSetup.success.notCheckedOut":"Branch gemaakt","localConversation.syncSetup.title":"Overdragen naar een lokale branch","localConversation.syncWorktreeError.branchAriaLabel":"Naam branch","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/nieuwe-functie","localConversation.syncWorktreeError.branchSetup.subtitle":"Kies een branch om naar over te dragen en probeer de wijzigingen opnieuw te laden.","localConversation.syncWorktreeError.branchSetup.title":"Branch bijwerken","localConversation.syncWorktreeError.branchUpdate.cta":"Bijwerken en opnieuw proberen","localConversation.syncWorktreeError.branchUpdate.error":"Bijwerken van branch mislukt: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Er is iets verkeerd gegaan: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Branch is in geen enkele worktree uitgecheckt.","localConversation.syncWorktreeV2.applyUncommitted":"Toepassen","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Je moet de branch lokaal uitchecken om niet-vastgelegde wijzigingen toe te passen","localConversation.syncWorktreeV2.branches.empty":"Geen branches gevonden","localConversation.syncWorktreeV2.branches.loading":"Branches laden…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Overdrachtsbranch wijzigen","localConversation.syncWorktreeV2.changeBranch.error":"Wijzigen van overdrachtsbranch mislukt: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Toepassen mislukt","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Overschrijven van worktree mislukt","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Lokaal overschrijven mislukt","localConversation.syncWorktreeV2.commandError.back":"Terug","localConversation.syncWorktreeV2.commandError.body":"Een Git-opdracht is mislukt tijdens de overdracht. Controleer de uitvoer en probeer het opnieuw.","localConversation.syncWorktreeV2.commandError.retry":"Opnieuw proberen","localConversation.syncWorktreeV2.description":"Wijzigingen overdragen tussen de lokale en deze worktree <a>Meer info</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Richting van overdracht selecteren","localConversation.syncWorktreeV2.error.generic":"Er is iets verkeerd gegaan tijdens de overdracht. Probeer het opnieuw.","localConversation.syncWorktreeV2.localBranchLabel":"Lokaal","localConversation.syncWorktreeV2.noChanges":"Wijzigingen berekenen","localConversation.syncWorktreeV2.noChanges.summary":"Geen wijzigingen","localConversation.syncWorktreeV2.overwrite.local":"Lokale overschrijven","localConversation.syncWorktreeV2.overwrite.worktree":"Worktree overschrijven","localConversation.syncWorktreeV2.partial.action.applyFailed":"Wijzigingen toepassen is niet gelukt","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Kon lokale wijzigingen niet overschrijven","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Kon worktree-wijzigingen niet overschrijven","localConversation.syncWorktreeV2.partial.appliedLabel":"Toegepast","localConversation.syncWorktreeV2.partial.back":"Terug","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Los de conflicten op en probeer het opnieuw.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflicten","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# bestand} other {# bestanden}}","localConversation.syncWorktreeV2.partial.retry":"Opnieuw proberen","localConversation.syncWorktreeV2.partial.skippedLabel":"Overgeslagen","localConversation.syncWorktreeV2.stateFailed.generic":"Er is iets misgegaan tijdens het ophalen van de worktreewijzigingen om over te dragen. Probeer het opnieuw.","localConversation.syncWorktreeV2.stateFailed.title":"Laden van worktree-wijzigingen mislukt","localConversation.syncWorktreeV2.statusError.diffUnknown":"Laden van worktree-wijzigingen mislukt.","localConversation.syncWorktreeV2.statusError.retry":"Opnieuw proberen","localConversation.syncWorktreeV2.statusError.title":"Kan wijzigingen aan lokale branch niet laden","localConversation.syncWorktreeV2.statusError.unknown":"Status van branch is nu niet beschikbaar. Probeer het opnieuw.","localConversation.syncWorktreeV2.success.apply":"Wijzigingen toegepast","localConversation.syncWorktreeV2.success.overwrite":"Overdracht succesvol","localConversation.syncWorktreeV2.title":"Wijzigingen overdragen","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Stelt {count, plural, one {vraag} other {vragen}}","localConversation.userInputRequest.noAnswer":"Geen antwoord gegeven","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Stelde","localConversation.userInputRequest.summary.count":"{count, plural, one {# vraag} other {# vragen}}","localConversation.workedFor":"Gewerkt gedurende {time}","localConversation.worktreeBranchSetup.action.create":"Maken","localConversation.worktreeBranchSetup.branchAriaLabel":"Naam branch","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Maak een nieuwe branch","localConversation.worktreeBranchSetup.checkoutDisabled":"Deze branch is al uitgecheckt op {location}","localConversation.worktreeBranchSetup.checkoutError":"Uitchecken van branch mislukt: {message}","localConversation.worktreeBranchSetup.createBranchError":"Instellen van branch mislukt: {message}","localConversation.worktreeBranchSetup.error":"Er is iets verkeerd gegaan: {message}","localConversation.worktreeBranchSetup.subtitle":"Maak een branch om wijzigingen te committen en maak een PR via deze worktree. <a>Meer info</a>","localConversation.worktreeBranchSetup.title":"Werk hier","localConversationPage.addWorktreeToSidebar.tooltip":"Opslaan als project, zodat je nieuwe draden kunt starten vanuit deze worktree","localConversationPage.addWorktreeToSidebarError":"Toevoegen van project mislukt","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit en maken van PR mislukt","localConversationPage.commitAndCreatePrModal.successTitle":"Gecommit en PR gemaakt","localConversationPage.commitAndPushModal.errorTitle":"Commit en push mislukt","localConversationPage.commitAndPushModal.successTitle":"Gecommit en wijzigingen gepusht","localConversationPage.commitCreatePr.open":"Pull request openen","localConversationPage.commitCreatePr.successTitle":"PR gemaakt met je nieuwste wijzigingen","localConversationPage.createBranchButtonLabel":"Branch hier","localConversationPage.createPrModal.baseBranch":"Basis","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR maken","localConversationPage.createPrModal.createDescription":"Open een pull request voor je nieuwste wijzigingen.","localConversationPage.createPrModal.errorTitle":"Pull request mislukt","localConversationPage.createPrModal.headBranch":"Kop","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR openen","localConversationPage.createPrModal.successTitle":"Pull request gemaakt","localConversationPage.createPrModal.title":"Pull request maken","localConversationPage.createPrModal.viewDescription":"Voor deze branch bestaat al een pull request.","localConversationPage.createPrModal.viewTitle":"Pull request gereed","localConversationPage.createPullRequestAuthGh":"GitHub CLI authenticeren: voer `gh auth login` uit","localConversationPage.createPullRequestBranchMissing":"Branch-informatie niet beschikbaar","localConversationPage.createPullRequestButtonLabel":"PR maken","localConversationPage.createPullRequestButtonLabel.loading":"PR maken…","localConversationPage.createPullRequestDefaultBranchMissing":"Informatie over standaardbranch niet beschikbaar","localConversationPage.createPullRequestError":"Pull request maken mislukt","localConversationPage.createPullRequestExistingPullRequest":"Voor deze branch bestaat al een pull request","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI-status laden…","localConversationPage.createPullRequestInstallGh":"Installeer GitHub CLI (gh) om PR's te maken","localConversationPage.createPullRequestNoRepo":"Geen git-repository gevonden","localConversationPage.createPullRequestPushStatusMissing":"Pushstatus laden...","localConversationPage.createPullRequestSetUpstream":"Push deze branch voordat je een PR maakt","localConversationPage.createPullRequestSuccessToast":"Pull request gemaakt","localConversationPage.createPullRequestSwitchBranch":"Check een featurebranch uit voordat je een PR maakt","localConversationPage.error.render":"Fout bij weergeven van lokaal gesprek","localConversationPage.error.toast":"Gesprek niet gevonden","localConversationPage.forcePushError":"Push afdwingen mislukt","localConversationPage.generatePullRequestMessageError":"Genereren van titel en berichtinhoud van pull request mislukt","localConversationPage.generatePullRequestMessageFailed":"Genereren van titel en berichtinhoud van pull request mislukt.","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Annuleren","localConversationPage.gitActionResult.close":"Sluiten","localConversationPage.gitActionResult.tryAgain":"Opnieuw proberen","localConversationPage.gitActions":"Git-handelingen","localConversationPage.newChat":"Nieuwe chat","localConversationPage.openInTarget":"Openen in","localConversationPage.openPrimaryTarget":"Openen","localConversationPage.planItemsCompleted":"{completedItems} van {totalItems, plural, one {# taak voltooid} other {# taken voltooid}}","localConversationPage.pushAuthError":"Push mislukt: authenticatie vereist","localConversationPage.pushBranchMissing":"Branch-informatie niet beschikbaar","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Pushen…","localConversationPage.pushError":"Wijzigingen pushen mislukt","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Annuleren","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Push je nieuwste commits naar de externe repository.","localConversationPage.pushModal.errorTitle":"Push mislukt","localConversationPage.pushModal.forcePush":"Push afdwingen","localConversationPage.pushModal.successTitle":"Push afgerond","localConversationPage.pushModal.title":"Pushwijzigingen","localConversationPage.pushModal.tryAgain":"Opnieuw proberen","localConversationPage.pushNoUpstream":"Stel een upstream in voordat je deze branch pusht","localConversationPage.pushNoUpstreamError":"Push mislukt: geen upstream geconfigureerd","localConversationPage.pushNothingToPush":"Geen nieuwe commits om te pushen","localConversationPage.pushRemoteChangedError":"Push mislukt: externe versie heeft nieuwe commits","localConversationPage.pushRemoteRejectedError":"Push afgewezen door externe versie","localConversationPage.pushStatusMissing":"Pushstatus laden…","localConversationPage.pushSuccessToast":"Wijzigingen gepusht","localConversationPage.viewPullRequestButtonLabel":"PR bekijken","localConversationPage.viewPullRequestButtonLabel.loading":"Pull request laden…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# bestand} other {# bestanden}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lijst} other {# lijsten}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# zoekopdracht} other {# zoekopdrachten}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Aan het verkennen","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Heeft verkend","localConversationTurn.exploration.accordion.header.complete.withCounts":"Heeft {counts} verkend","localConversationTurnStory.showContent":"Inhoud weergeven","localConversationTurnStory.streamContent":"Inhoud streamen","localConversationTurnStory.toggleReasoning":"Redenering weergeven","localTaskRow.archiveError":"Gesprek archiveren mislukt","localTaskRow.resumeError":"Taak hervatten mislukt","mermaidDiagram.ariaLabel":"Mermaid-diagram","mermaidDiagram.copySource":"Mermaid kopiëren","mermaidDiagram.originalCode":"Mermaid-broncode","notifications.permissions.description":"Waarschuwingen weergeven als machtigingen voor meldingen verplicht zijn","notifications.permissions.label":"Meldingen over toestemming inschakelen","notifications.turnMode.always":"Altijd","notifications.turnMode.description":"Instellen wanneer Codex je waarschuwt dat het gereed is","notifications.turnMode.label":"Meldingen over beurtvoltooiing","notifications.turnMode.off":"Nooit","notifications.turnMode.unfocused":"Alleen als app niet in focus is","patchApprovalRequest.approve":"Goedkeuren","patchApprovalRequest.menu.allowAlways":"Ja, en niet opnieuw vragen in deze sessie","patchApprovalRequest.menu.allowForSession":"Ja, en niet opnieuw vragen in deze sessie","patchApprovalRequest.menu.allowOnce":"Ja","patchApprovalRequest.prompt":"Wil je deze wijzigingen aanbrengen?","patchApprovalRequest.reject":"Nee","patchApprovalRequest.waitingForApproval":"Wachtend op goedkeuring om bestanden te bewerken","pendingRequest.approvalExec.collapse":"Samenvouwen","pendingRequest.approvalExec.expand":"Uitvouwen","pendingRequestStory.toastAnswer":"Antwoord: {answer}","pendingRequestStory.toastApprovalTitle":"Reactie op goedkeuring","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Opvolgbericht verstuurd","pendingRequestStory.toastNoAnswers":"Geen antwoorden gegeven","pendingRequestStory.toastQuestion":"Vraag: {question}","pendingRequestStory.toastUnknownDecision":"Onbekend","pendingRequestStory.toastUserInputTitle":"Ingezonden antwoorden","quickAction.request.codeReview.branches.new":"Beoordeel wijzigingen in {from} ten opzichte van {to}","quickAction.request.codeReview.uncommitted.new":"Beoordeel mijn niet-vastgelegde wijzigingen","reasoningItem.thinking":"Denkt na","reasoningItem.thought":"Nagedacht","reasoningItem.thoughtWithElapsed":"Nagedacht gedurende {elapsed}","recentConversations.title":"Recente gesprekken","recentTasks.worktreeInitFailedTitle":"Worktree init mislukt","recentTasks.worktreeSettingUpTitle":"Worktree instellen","requestInputPanel.continue":"Doorgaan","requestInputPanel.dismiss":"Sluiten","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Typ hier","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nee, en Codex vertellen wat het anders moet doen","requestInputPanel.selectedBadge":"Geselecteerd","requestInputPanel.skip":"Overslaan","requestInputPanel.submit":"Verzenden","review.commit.ariaLabel.includeUnstaged":"Inclusief unstaged","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Committen...","review.commit.disabled.loadingDiff":"Diff laden…","review.commit.disabled.missingContext":"Voeg wat context toe om een commit-bericht te genereren.","review.commit.disabled.noChanges":"Geen wijzigingen om te committen","review.commit.disabled.noSelection":"Selecteer wijzigingen om te committen","review.commit.disabled.unavailable":"Committen is nu niet beschikbaar","review.commit.error":"Wijzigingen committen mislukt","review.commit.form.changesToBeCommitted":"Wijzigingen","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Doorgaan","review.commit.form.title":"Commit je wijzigingen","review.commit.generate.emptyResponse":"Kon geen commit-bericht genereren.","review.commit.generate.failed":"Genereren van commit-bericht mislukt: {error}","review.commit.generate.missingPrompt":"Voeg wat context toe om een commit-bericht te genereren.","review.commit.includeUnstaged":"Inclusief unstaged","review.commit.loading.description":"Even geduld, dit kan enkele ogenblikken duren…","review.commit.loading.step.commit.done":"Gecommitte wijzigingen","review.commit.loading.step.commit.pending":"Wijzigingen worden gecommit","review.commit.loading.step.createPr.done":"Pull request gemaakt","review.commit.loading.step.createPr.pending":"Pull request wordt gemaakt","review.commit.loading.step.push.done":"Gepusht naar branch {branch}","review.commit.loading.step.push.pending":"Pushen naar branch {branch}","review.commit.loading.title.commit":"Wijzigingen worden gecommit","review.commit.loading.title.createPr":"PR wordt gemaakt","review.commit.loading.title.push":"Wijzigingen pushen","review.commit.messageLabel":"Commit-bericht","review.commit.messagePlaceholder":"Laat leeg om een commit-bericht automatisch te genereren","review.commit.nextSteps":"Volgende stappen","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit en PR maken","review.commit.nextSteps.commitAndPush":"Commit en push","review.commit.nextSteps.prRequiresGh":"Vereist GitHub CLI: {command}","review.commit.rows.changes":"Wijzigingen","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# commits}} en {stats}","review.commit.rows.fileCount":"{count, plural, one {# bestand} other {# bestanden}}","review.commit.state.error.body":"Er is iets verkeerd gegaan tijdens het committen. Controleer je gitstatus en probeer het opnieuw.","review.commit.state.error.title":"Commit mislukt","review.commit.state.success.title":"Wijzigingen gecommit","review.commit.untracked.loadingStats":"Niet gevolgde diff-statistieken laden…","reviewFindingAttachments.count":"{count, plural, one {# resultaat} other {# resultaten}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Bewerk je config om het gedrag van de agent aan te passen","settings.agent.configuration.configToml.docs":"Documenten","settings.agent.configuration.subtitle":"Deze instellingen zijn overal van toepassing waar Codex wordt gebruikt.","settings.automations.banner.danger":"Automatiseringen worden uitgevoerd met je standaard sandbox-instellingen, die momenteel zijn ingesteld op volledige toegang. Het op de achtergrond uitvoeren van automatiseringen met volledige toegang brengt een verhoogd risico met zich mee, omdat Codex dan zonder te vragen bestanden kan bewerken, opdrachten kan uitvoeren en netwerktoegang kan gebruiken. Overweeg je sandbox-instellingen bij te werken naar schrijfrechten voor de werkruimte en met behulp van <rulesDocsLink>regels</rulesDocsLink> selectief te definiëren welke opdrachten de agent met volledige toegang kan uitvoeren.","settings.automations.banner.defaultHowTo.default":"Automatiseringen worden uitgevoerd met je standaard sandbox-instellingen. Toolaanroepen mislukken als daarvoor bestanden moeten worden bewerkt buiten de werkruimte, als er netwerktoegang nodig is of als ze met apps op je computer moeten werken. Je kunt selectief toestaan dat opdrachten buiten de sandbox worden uitgevoerd met behulp van <rulesDocsLink>regels</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatiseringen worden uitgevoerd met je standaard sandbox-instellingen, die zijn ingesteld op alleen-lezen. Toolaanroepen mislukken als daarvoor bestanden moeten worden bewerkt buiten de werkruimte, als er netwerktoegang nodig is of als ze met apps op je computer moeten werken. Wijzig de sandbox-instellingen zo nodig in schrijfrechten voor de werkruimte.","settings.automations.cancel":"Annuleren","settings.automations.create":"Maken","settings.automations.cwdEmpty":"Geen projectmappen beschikbaar","settings.automations.cwdLabel":"Projecten","settings.automations.cwdPlaceholder":"Kies een map","settings.automations.cwdSubtitle":"Als je een automatisering op een specifieke branch wilt uitvoeren, kun je dat specificeren in je prompt.","settings.automations.delete":"Verwijderen","settings.automations.dialog.editTitle":"Automatisering bewerken","settings.automations.dialog.newTitle":"Nieuwe automatisering","settings.automations.dialog.subtitle":"Automatiseer terugkerende taken op de achtergrond. Codex stuurt resultaten naar de inbox of archiveert de taak automatisch als er niets te melden is. <learnMoreLink>Meer info</learnMoreLink>","settings.automations.dialog.title":"Automatisering maken","settings.automations.executionCopy.git":"Automatiseringen worden op de achtergrond uitgevoerd in speciale worktrees.","settings.automations.executionCopy.nonGit":"Automatiseringen in projecten zonder versiecontrole worden rechtstreeks in de projectmap uitgevoerd. Je kunt Git gebruiken om uitvoering in worktrees op de achtergrond mogelijk te maken.","settings.automations.executionEnvironment.local":"Lokaal","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Laden...","settings.automations.nameLabel":"Naam","settings.automations.namePlaceholder":"Controleer op problemen in Sentry","settings.automations.pause":"Pauzeren","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"zoek crashes in $Sentry","settings.automations.resume":"Hervatten","settings.automations.rruleSummaryFallback":"Aangepast schema","settings.automations.runNow":"Testen","settings.automations.save":"Opslaan","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} u","settings.automations.scheduleBadge.weekdays":"Werkdagen","settings.automations.scheduleBadge.weekends":"Weekenden","settings.automations.scheduleHeader":"Inplannen","settings.automations.scheduleHours":"uur","settings.automations.scheduleLabel":"Uitvoeren: elk(e)","settings.automations.scheduleMode.daily":"Dagelijks","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Type schema","settings.automations.scheduleSummary.daily":"Dagelijks om {time}","settings.automations.scheduleSummary.interval":"Elke {count} uur","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dag} other {# dagen}}","settings.automations.scheduleSummary.intervalDays":"{interval} op {days}","settings.automations.scheduleSummary.intervalHourly":"Elk uur","settings.automations.scheduleSummary.singleDay":"{day} om {time}","settings.automations.scheduleSummary.weekdays":"Werkdagen om {time}","settings.automations.scheduleSummary.weekdaysLabel":"werkdagen","settings.automations.scheduleSummary.weekends":"Weekenden om {time}","settings.automations.scheduleSummary.weekendsLabel":"weekenden","settings.automations.scheduleSummary.weekly":"{days} om {time}","settings.automations.scheduleWeekdays":"Aan","settings.automations.weekdayState.excluded":"Uitgesloten","settings.automations.weekdayState.included":"Inbegrepen","settings.conversationDetail.steps":"Stappen","settings.conversationDetail.steps.description":"Opdrachten en uitvoer verbergen","settings.conversationDetail.stepsWithCommands":"Stappen met code-opdrachten","settings.conversationDetail.stepsWithCommands.description":"Opdrachten weergeven, uitvoer samenvouwen","settings.conversationDetail.stepsWithOutput":"Stappen met code-uitvoer","settings.conversationDetail.stepsWithOutput.description":"Opdrachten weergeven, uitvoer uitvouwen","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Geen gearchiveerde chats.","settings.dataControls.archivedChats.error":"Kon gearchiveerde chats niet laden.","settings.dataControls.archivedChats.loading":"Gearchiveerde chats laden…","settings.dataControls.archivedChats.unarchive":"Dearchiveren","settings.dataControls.archivedChats.unarchiveError":"Dearchiveren van chat mislukt","settings.dataControls.archivedChats.unarchiveSuccess":"Gedearchiveerde draad. <viewNowLink>Nu bekijken</viewNowLink>","settings.dataControls.archivedChats.untitled":"Chat zonder titel","settings.editRow.headerPlaceholder":"Sleutel","settings.editRow.removeEntry":"Vermelding verwijderen","settings.editRow.valuePlaceholder":"Waarde","settings.general.appearance":"Vormgeving","settings.general.appearance.codeFont":"Lettertype van code","settings.general.appearance.codeFont.description":"Pas het lettertype en de tekengrootte aan voor code in chats en diffs","settings.general.appearance.codeFontFamily":"Lettertypefamilie van code","settings.general.appearance.codeFontSize":"Tekengrootte van code","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Zorg dat voor vensters een effen achtergrond wordt gebruikt in plaats van de doorschijnende optie van het systeem","settings.general.appearance.opaqueWindows.label":"Ondoorschijnende achtergrond gebruiken voor vensters","settings.general.appearance.sansFontFamily":"Sans-lettertypefamilie","settings.general.appearance.sansFontFamily.description":"Wijzig het lettertype dat wordt gebruikt voor de Codex-gebruikersinterface","settings.general.appearance.sansFontSize":"Grootte van schreefloos lettertype","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Feesteffecten in volledig scherm weergeven terwijl GPT-5.3-Codex-Spark de eerste beurt uitvoert","settings.general.appearance.sparkCelebrationEffects.label":"Feesteffecten van Spark","settings.general.appearance.theme":"Thema","settings.general.appearance.theme.dark":"Donker","settings.general.appearance.theme.description":"Gebruik licht, donker of gelijk aan systeem","settings.general.appearance.theme.light":"Licht","settings.general.appearance.theme.system":"Systeem","settings.general.appearance.usePointerCursors.description":"Wijzig de cursor in een aanwijzer als deze over interactieve elementen wordt bewogen","settings.general.appearance.usePointerCursors.label":"Aanwijscursors gebruiken","settings.general.enterBehavior.description":"Als dit is ingeschakeld, moet je voor prompts met meerdere regels {modifierSymbol} + enter gebruiken om ze te versturen.","settings.general.enterBehavior.label":"{modifierSymbol} + enter vereist om lange prompts te versturen","settings.general.experimentalFeatures":"Experimentele functies (bèta)","settings.general.experimentalFeatures.empty":"Er zijn geen experimentele bètafuncties beschikbaar.","settings.general.experimentalFeatures.loading":"Experimentele functies worden geladen…","settings.general.experimentalFeatures.restartNote":"Start Codex opnieuw om wijzigingen in experimentele functies toe te passen.","settings.general.experimentalFeatures.toggle":"{featureName} omschakelen","settings.general.followUpQueueMode.description":"Zet follow-ups in de wachtrij terwijl Codex actief is, of onderbreek de huidige uitvoering","settings.general.followUpQueueMode.interrupt":"Bijsturen","settings.general.followUpQueueMode.label":"Follow-upgedrag","settings.general.followUpQueueMode.queue":"Wachtrij","settings.general.notifications":"Meldingen","settings.general.power.preventSleepWhileRunning.description":"Houd je computer uit de slaapstand terwijl Codex een draad uitvoert.","settings.general.power.preventSleepWhileRunning.label":"Slaapstand voorkomen tijdens uitvoering","settings.git.branchPrefix.ariaLabel":"Branch-voorvoegsel","settings.git.branchPrefix.description":"Voorvoegsel dat wordt gebruikt bij het maken van nieuwe branches in Codex","settings.git.branchPrefix.label":"Branch-voorvoegsel","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Opslaan van branch-voorvoegsel mislukt","settings.git.branchPrefix.save.success":"Branch-voorvoegsel opgeslagen","settings.git.commitInstructions.ariaLabel":"Commit-instructies","settings.git.commitInstructions.description":"Toegevoegd aan prompts voor het genereren van commit-berichten","settings.git.commitInstructions.label":"Commit-instructies","settings.git.commitInstructions.placeholder":"Voeg richtlijnen voor commit-berichten toe…","settings.git.commitInstructions.save":"Opslaan","settings.git.commitInstructions.save.error":"Opslaan van commit-instructies mislukt","settings.git.commitInstructions.save.success":"Commit-instructies opgeslagen","settings.git.forcePush.ariaLabel":"Altijd push afdwingen","settings.git.forcePush.description":"Gebruik --force-with-lease als je vanuit Codex pusht","settings.git.forcePush.label":"Altijd push afdwingen","settings.git.forcePush.save.disabled":"Altijd push afdwingen uitgeschakeld","settings.git.forcePush.save.enabled":"Altijd push afdwingen ingeschakeld","settings.git.forcePush.save.error":"Opslaan van instelling voor push afdwingen mislukt","settings.git.prInstructions.ariaLabel":"Pull request-instructies","settings.git.prInstructions.description":"Worden toegevoegd aan door Codex opgestelde berichtinhoud voor pull requests","settings.git.prInstructions.label":"Pull request-instructies","settings.git.prInstructions.placeholder":"Voeg richtlijnen voor pull requests toe…","settings.git.prInstructions.save":"Opslaan","settings.git.prInstructions.save.error":"Pull request-instructies opslaan mislukt","settings.git.prInstructions.save.success":"Pull request-instructies opgeslagen","settings.ide.defaultOpenTarget.description":"Waar bestanden en mappen standaard worden geopend","settings.ide.defaultOpenTarget.label":"Standaardbestemming voor openen","settings.ide.defaultOpenTarget.placeholder":"Geen doelen gevonden","settings.ide.language.auto":"Automatisch detecteren","settings.ide.language.autoOption":"Automatisch detecteren","settings.ide.language.description":"Taal voor de gebruikersinterface van de app","settings.ide.language.label":"Taal","settings.ide.language.search":"Talen zoeken","settings.layout.actionButton":"Extensie herstarten","settings.layout.actionTitle":"Instellingen met handeling ","settings.layout.fullWidthTitle":"Instellingen (volledige breedte)","settings.layout.title":"Instellingen","settings.localEnvironments.actions.add":"Handeling toevoegen","settings.localEnvironments.actions.add.description":"Maak een nieuwe opdracht om uit te voeren vanaf de taakbalk.","settings.localEnvironments.actions.add.save":"Opslaan","settings.localEnvironments.actions.empty":"Voeg een handeling toe om opdrachten uit te voeren vanaf de lokale werkbalk.","settings.localEnvironments.actions.icon.debug":"Fouten oplossen","settings.localEnvironments.actions.icon.run":"Uitvoeren","settings.localEnvironments.actions.icon.test":"Testen","settings.localEnvironments.actions.icon.tool":"Tool","settings.localEnvironments.actions.item.button.delete":"Verwijderen","settings.localEnvironments.actions.item.command":"Handelingsscript","settings.localEnvironments.actions.item.name":"Naam","settings.localEnvironments.actions.item.platforms":"Platforms","settings.localEnvironments.actions.item.platforms.help":"Alleen uitvoeren in een specifiek besturingssysteem.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Platformselectie","settings.localEnvironments.actions.item.platforms.specific":"Platformspecifiek","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Verwijderen","settings.localEnvironments.actions.title":"Handelingen","settings.localEnvironments.breadcrumb.back":"Terug","settings.localEnvironments.breadcrumb.edit":"bewerken","settings.localEnvironments.breadcrumb.root":"Omgevingen","settings.localEnvironments.environment.actions.description":"Met deze handelingen kun je elke opdracht uitvoeren. Ze worden weergegeven in de header.","settings.localEnvironments.environment.actionsLabel":"Handelingen","settings.localEnvironments.environment.create":"Lokale omgeving maken","settings.localEnvironments.environment.defaultName":"lokaal","settings.localEnvironments.environment.edit":"Lokale omgeving bewerken","settings.localEnvironments.environment.empty":"Er is nog geen lokale omgeving geconfigureerd voor dit project.","settings.localEnvironments.environment.name":"Naam","settings.localEnvironments.environment.setup":"Configuratiescript","settings.localEnvironments.environment.setup.description":"Dit script wordt uitgevoerd bij het maken van een worktree.","settings.localEnvironments.environment.setup.hint":"Wordt uitgevoerd in de projectroot.","settings.localEnvironments.environment.setup.platformOverrides":"Platformoverschrijvingen","settings.localEnvironments.environment.setup.platformOverrides.add":"Configuratiescript voor {platform} toevoegen","settings.localEnvironments.environment.setup.platformOverrides.description":"Wordt gebruikt in plaats van het standaardscript voor specifieke besturingssystemen.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Verwijderen","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Omgevingsdetails","settings.localEnvironments.file.missing":"Sla op om dit bestand voor het eerst aan te maken.","settings.localEnvironments.file.parseError":"Het bestaande bestand kon niet worden geparseerd. Als je het opslaat, wordt het overgeschreven. ({error})","settings.localEnvironments.file.path":"Bestand: {path}","settings.localEnvironments.file.readError":"Kan gegevens van lokale omgeving niet laden. ({error})","settings.localEnvironments.file.title":"Bestand in lokale omgeving","settings.localEnvironments.loading.body":"Je projectconfiguratie wordt opgehaald.","settings.localEnvironments.loading.title":"Lokale omgevingen laden","settings.localEnvironments.preview.devOnly":"(Alleen ontwikkelaars)","settings.localEnvironments.preview.save":"Opslaan","settings.localEnvironments.preview.saveError":"Opslaan van bestand is mislukt. ({error})","settings.localEnvironments.preview.title":"Voorbeeld","settings.localEnvironments.save.disabled.name":"Voeg een omgevingsnaam toe om op te slaan.","settings.localEnvironments.save.disabled.noChanges":"Geen wijzigingen om op te slaan.","settings.localEnvironments.save.disabled.saving":"Opslaan...","settings.localEnvironments.save.success":"Lokale omgeving opgeslagen","settings.localEnvironments.unavailable.body":"We konden de instellingen voor de lokale omgeving niet laden voor dit project.","settings.localEnvironments.unavailable.title":"Lokale omgevingen niet beschikbaar","settings.localEnvironments.workspace.add":"Project toevoegen","settings.localEnvironments.workspace.title":"Project","settings.localEnvironments.workspaceSelect.addLabel":"Omgeving toevoegen","settings.localEnvironments.workspaceSelect.description":"Met lokale omgevingen kun je Codex vertellen hoe worktrees voor een project moeten worden ingesteld. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Nog geen projecten. Voeg er een toe om lokale omgevingen te configureren.","settings.localEnvironments.workspaceSelect.errorLabel":"Omgeving heeft aandacht nodig","settings.localEnvironments.workspaceSelect.learnMore":"Meer info","settings.localEnvironments.workspaceSelect.listLabel":"Beschikbare projecten","settings.localEnvironments.workspaceSelect.loading":"Projecten laden...","settings.localEnvironments.workspaceSelect.loadingLabel":"Omgeving laden","settings.localEnvironments.workspaceSelect.title":"Selecteer een project","settings.localEnvironments.workspaceSelect.viewAction":"Weergeven","settings.mcp.addServer":"Server toevoegen","settings.mcp.app.configure":"Configureren","settings.mcp.app.connect":"Verbinden","settings.mcp.apps.refresh":"Vernieuwen","settings.mcp.detail.addArgument":"Argument toevoegen","settings.mcp.detail.addEnvVar":"Omgevingsvariabele toevoegen","settings.mcp.detail.addEnvVarPassthrough":"Variabele toevoegen","settings.mcp.detail.args":"Argumenten","settings.mcp.detail.back":"Terug","settings.mcp.detail.command":"Opdracht om op te starten","settings.mcp.detail.cwd":"Werkmap","settings.mcp.detail.docs":"MCP-documentatie openen","settings.mcp.detail.docs.link":"Documenten","settings.mcp.detail.envVarPassthrough":"Doorgifte van omgevingsvariabele","settings.mcp.detail.envVars":"Omgevingsvariabelen","settings.mcp.detail.http.addEnvHeader":"Variabele toevoegen","settings.mcp.detail.http.addHeader":"Header toevoegen","settings.mcp.detail.http.bearerToken":"Bearer token env var","settings.mcp.detail.http.envHeaders":"Headers uit omgevingsvariabelen","settings.mcp.detail.http.headers":"Headers","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Naam","settings.mcp.detail.save":"Opslaan","settings.mcp.detail.switchTransportNotice":"Als je van MCP-servertype wilt wisselen, de-installeer dan eerst.","settings.mcp.detail.titleExisting":"{name}-MCP bijwerken","settings.mcp.detail.titleNew":"Verbinden met een aangepaste MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"De-installeren","settings.mcp.empty":"Geen aangepaste MCP-servers verbonden","settings.mcp.myServers":"Aangepaste servers","settings.mcp.partnerServer.description.figma":"Genereer betere code door de volledige Figma-context toe te voegen","settings.mcp.partnerServer.description.github":"Integreer met GitHub API's om workflows te automatiseren en gegevens te extraheren","settings.mcp.partnerServer.description.linear":"Integreer met probleemtracking en projectmanagement in Linear","settings.mcp.partnerServer.description.notion":"Lees documenten, werk pagina's bij en beheer taken","settings.mcp.partnerServer.description.playwright":"Integreer browserautomatisering om ontwerpen te implementeren en UI's te testen.","settings.mcp.partnerServer.install":"Installeren","settings.mcp.partnerServer.installAndAuthenticate":"Installeren en authenticeren","settings.mcp.partnerServer.logoAlt":"{label}-logo","settings.mcp.partnerServer.manage":"Beheren","settings.mcp.partnerServer.vendor":"door {vendor}","settings.mcp.recommendedServers":"Aanbevolen servers","settings.mcp.restartApp":"Herstarten","settings.mcp.restartExtension":"Extensie herstarten","settings.mcp.server.enable":"Inschakelen","settings.mcp.server.login":"Authenticeren","settings.mcp.server.settings":"Instellingen","settings.multiselect.createOption":'"{value}" maken',"settings.multiselect.removeOption":"Verwijderen","settings.nav.account":"Account","settings.nav.agent":"Configuratie","settings.nav.ariaLabel":"Instellingen","settings.nav.back":"Terug naar app","settings.nav.data-controls":"Gearchiveerde draden","settings.nav.environments":"Cloudomgevingen","settings.nav.externalTooltip":"[alpha] Opent in browser","settings.nav.general-settings":"Algemeen","settings.nav.git-settings":"Git","settings.nav.local-environments":"Omgevingen","settings.nav.mcp-settings":"MCP-servers","settings.nav.notImplemented":"[alpha] Niet beschikbaar in Alpha","settings.nav.personalization":"Personalisatie","settings.nav.skills-settings":"Vaardigheden","settings.nav.usage-analytics":"Gebruik en analyse","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Terug","settings.openSourceLicenses.loading":"Laden...","settings.openSourceLicenses.missing":"Geen kennisgevingen van derden gevonden.","settings.openSourceLicenses.notSupported":"Niet beschikbaar in deze host.","settings.openSourceLicenses.rowDescription":"Kennisgevingen van derden voor gebundelde afhankelijkheden","settings.openSourceLicenses.rowLabel":"Opensourcelicenties","settings.openSourceLicenses.subtitle":"Kennisgevingen van derden voor in deze app opgenomen afhankelijkheden","settings.openSourceLicenses.title":"Opensourcelicenties","settings.openSourceLicenses.view":"Bekijken","settings.personalization.agents.description":"Bewerk de instructies waarmee je Codex op jou afstemt. {learnMore}","settings.personalization.agents.learnMore":"Meer info","settings.personalization.agents.loadError":"Bestand agents.md kan niet worden geladen.","settings.personalization.agents.loading":"Agents.md laden...","settings.personalization.agents.placeholder":"Voeg je aangepaste instructies toe…","settings.personalization.agents.retry":"Opnieuw proberen","settings.personalization.agents.save":"Opslaan","settings.personalization.agents.save.error":"Bestand agents.md kan niet worden opgeslagen","settings.personalization.agents.save.success":"Agents.md opgeslagen","settings.personalization.agents.title":"Aangepaste instructies","settings.personalization.personality.description":"Kies een standaardtoon voor reacties van Codex","settings.personalization.personality.label":"Persoonlijkheid","settings.sample.contentBody":"Gebruik deze indeling om je instellingenpanelen met consistente tussenruimtes samen te stellen.","settings.sample.contentTitle":"Voorbeeld inhoudsblok","settings.section.account":"Account","settings.section.agent":"Configuratie","settings.section.data-controls":"Gearchiveerde draden","settings.section.environments":"Cloudomgevingen","settings.section.external":"Wordt geopend in je browser tijdens Alpha","settings.section.general-settings":"Algemeen","settings.section.git-settings":"Git","settings.section.local-environments":"Omgevingen","settings.section.mcp-settings":"MCP-servers","settings.section.mcp-settings.docs":"Documenten","settings.section.mcp-settings.subtitle":"Verbind externe tools en gegevensbronnen.","settings.section.personalization":"Personalisatie","settings.section.skills-settings":"Vaardigheden","settings.section.unavailable":"Nog niet beschikbaar in Alpha","settings.section.usage-analytics":"Gebruik en analyse","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"Kies hoeveel opdrachtenuitvoer wordt weergegeven in draden","settings.threadDetail.label":"Detail van draden","settings.worktrees.conversation.untitled":"Naamloos gesprek","settings.worktrees.delete.error":"Verwijderen van worktree mislukt","settings.worktrees.empty.body":"Door Codex gemaakte worktrees worden hier weergegeven.","settings.worktrees.empty.title":"Nog geen worktrees","settings.worktrees.error.body":"Er is iets verkeerd gegaan tijdens het laden van worktrees.","settings.worktrees.error.retry":"Opnieuw proberen","settings.worktrees.error.title":"Worktrees kunnen niet worden geladen","settings.worktrees.loading.body":"Gegevens van worktree worden opgehaald.","settings.worktrees.loading.title":"Worktrees laden","settings.worktrees.repository.loading":"Metagegevens van repository worden geladen…","settings.worktrees.repository.unknown":"Onbekende repository","settings.worktrees.row.conversations":"Gesprekken","settings.worktrees.row.conversations.empty":"Geen gesprekken gekoppeld aan deze worktree.","settings.worktrees.row.conversations.loading":"Gesprekken laden…","settings.worktrees.row.delete":"Verwijderen","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Nieuw project toevoegen","sidebarElectron.archiveThread":"Draad archiveren","sidebarElectron.archiveThreadError":"Archiveren van draad mislukt","sidebarElectron.collapseFolder":"Map samenvouwen","sidebarElectron.createStableWorktree.dialog.cancel":"Annuleren","sidebarElectron.createStableWorktree.dialog.create":"Maken","sidebarElectron.debugNavLink":"Fouten oplossen","sidebarElectron.editWorkspaceRootOptionName":"Naam bewerken","sidebarElectron.expandFolder":"Map uitvouwen","sidebarElectron.groupByMenu.recency":"Chronologische lijst","sidebarElectron.groupByMenu.title":"Ordenen","sidebarElectron.groupByMenu.workspace":"Per project","sidebarElectron.inboxRouteNavLink":"Automatisering","sidebarElectron.markThreadUnread":"Als ongelezen markeren","sidebarElectron.missingWorkspaceRoot":"Deze projectmap is verwijderd of verplaatst","sidebarElectron.newThread":"Nieuwe draad","sidebarElectron.newThreadInGroup":"Nieuwe draad starten in {folder}","sidebarElectron.noRecentThreads":"Geen recente draden","sidebarElectron.noTasks":"Geen draden","sidebarElectron.noTasks.start":"Een nieuw project toevoegen","sidebarElectron.noTasksWithFilter":"Er komen geen draden overeen met de filters","sidebarElectron.pinnedThreads":"Vastgezette draden","sidebarElectron.recentNavLink":"Draden","sidebarElectron.recentThreads":"Recente draden","sidebarElectron.removeWorkspaceRootOption":"Verwijderen","sidebarElectron.renameThread":"Naam van draad wijzigen","sidebarElectron.renameThreadDialogAriaLabel":"Titel van draad","sidebarElectron.renameThreadDialogCancel":"Annuleren","sidebarElectron.renameThreadDialogPlaceholder":"Voeg een titel toe…","sidebarElectron.renameThreadDialogSave":"Opslaan","sidebarElectron.renameThreadDialogSubtitle":"Houd het kort en herkenbaar.","sidebarElectron.renameThreadDialogTitle":"Naam van draad wijzigen","sidebarElectron.renameThreadError":"Naam van draad wijzigen mislukt","sidebarElectron.renameWorkspaceRootOptionLabel":"Weergavenaam","sidebarElectron.showLess":"Minder weergeven","sidebarElectron.showMenu.all":"Alle draden","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Alleen recente draden weergeven voor de huidige branch, worktrees of andere draden die jouw aandacht nodig hebben","sidebarElectron.showMenu.title":"Weergeven","sidebarElectron.showMenu.tooltip":"Draden filteren, sorteren en ordenen","sidebarElectron.showMenu.trigger":"Draden in zijbalk filteren","sidebarElectron.showMore":"Meer weergeven","sidebarElectron.skillsRouteNavLink":"Vaardigheden","sidebarElectron.sortMenu.created":"Gemaakt","sidebarElectron.sortMenu.title":"Sorteren op","sidebarElectron.sortMenu.updated":"Bijgewerkt","sidebarElectron.taskNavigation":"Automatiseringsmappen","sidebarElectron.tasksInFolder":"Automatiseringen in {folder}","sidebarElectron.workspaceOptions":"Projecthandelingen voor {folder}","sidebarElectron.worktreeGroupTooltip":"Dit is een git worktree","skills.appsPage.createSkill":"Nieuwe vaardigheid","skills.appsPage.empty.skills":"Geen vaardigheden gevonden","skills.appsPage.search.skills":"Vaardigheden zoeken","skills.appsPage.search.skills.label":"Vaardigheden zoeken","skills.appsPage.section.installedApps":"Geïnstalleerd","skills.appsPage.section.skills":"Vaardigheden","skills.appsPage.subheading":"Geef Codex superkrachten.<link>Meer info</link>","skills.appsPage.tab.recommended":"Aanbevolen","skills.appsPage.tab.skills":"Vaardigheden","skills.card.contentsError":"Inhoud van vaardigheid kan niet worden geladen.","skills.card.disable":"Uitschakelen","skills.card.disableSuccess":"Vaardigheid {skillName} uitgeschakeld","skills.card.disabledBadge":"Uitgeschakeld","skills.card.enable":"Inschakelen","skills.card.enableSuccess":"Vaardigheid {skillName} ingeschakeld","skills.card.loadingContents":"Inhoud van vaardigheid laden...","skills.card.more":"Meer handelingen","skills.card.open":"Openen","skills.card.removeFailed":"De-installeren van vaardigheid mislukt","skills.card.removeSuccess":"Vaardigheid {skillName} gede-installeerd","skills.card.toggleEnabledError":"Bijwerken van vaardigheid mislukt","skills.card.try":"Proberen","skills.card.trySkill":"Vaardigheid proberen","skills.card.uninstall":"De-installeren","skills.hero.dotLabel":"Ga naar dia {index}","skills.hero.next":"Volgende uitgelichte vaardigheid","skills.hero.trySkill":"Vaardigheid proberen","skills.page.createSkill":"Nieuwe vaardigheid","skills.page.empty":"Geen vaardigheden gevonden","skills.page.filteredEmpty":"Geen vaardigheden die overeenkomen met je filters","skills.page.filteredEmptyDescription":"Pas je zoekopdracht of bereikfilters aan","skills.page.heading":"Vaardigheden","skills.page.loading":"Vaardigheden laden...","skills.page.refreshSkills":"Vernieuwen","skills.page.refreshSkillsToUseNew":"Vernieuw om nieuwe vaardigheden te gebruiken","skills.page.search":"Vaardigheden zoeken","skills.page.search.label":"Vaardigheden zoeken","skills.page.subheading":"Geef Codex superkrachten.<link>Meer info</link>","skills.preview.copyPrompt":"Prompt kopiëren","skills.preview.examplePrompt":"Voorbeeldprompt","skills.recommended.error":"Aanbevolen vaardigheden kunnen niet worden geladen","skills.recommended.install":"Installeren","skills.recommended.installSkill":"Vaardigheid installeren","skills.recommended.installSuccess":"Vaardigheid {skillName} geïnstalleerd","skills.recommended.installed":"Geïnstalleerd","skills.scope.admin":"Beheerder","skills.scope.adminInstalled":"Door beheerder geïnstalleerd","skills.scope.builtIn":"Systeem","skills.scope.personal":"Persoonlijk","skills.scope.repo":"Repo","skills.scope.system":"Systeem","skills.scope.team":"Team","skills.scope.user":"Gebruiker","skills.section.installed":"Geïnstalleerd","skills.section.recommended":"Aanbevolen","story.slidingToggle.existing":"Bestaande","story.slidingToggle.fromLocal":"Van lokaal","story.slidingToggle.new":"Nieuw","story.slidingToggle.toLocal":"Naar lokaal","terminal.close":"Terminal sluiten","terminal.title":"Terminal","thinkingShimmer.default":"Denkt na","threadEnvIcon.cloudTooltip":"Dit gesprek wordt uitgevoerd in Codex Cloud.","threadEnvIcon.localTooltip":"Dit gesprek wordt lokaal uitgevoerd.","threadEnvIcon.worktreeTooltip":"Dit gesprek wordt uitgevoerd in een lokale git-worktree.","threadHeader.archiveConfirmCancel":"Annuleren","threadHeader.archiveConfirmConfirm":"Archiveren","threadHeader.copySessionId":"Sessie-ID kopiëren","threadHeader.copyWorkingDirectory":"Werkmap kopiëren","threadHeader.forkIntoLocal":"Fork maken naar lokaal","threadHeader.forkIntoWorktree":"Fork maken naar nieuwe worktree","threadHeader.forkPendingWorktreePrompt":"Maak een fork van dit gesprek in een nieuwe worktree.","threadHeader.forkPendingWorktreeTitle":"Gesprek met fork","threadHeader.forkThreadError":"Fork van draad maken mislukt","threadHeader.forkThreadRequiresGitRepo":"Er is een git-repository nodig om een fork naar een nieuwe worktree te maken","threadHeader.moreActions":"Draadhandelingen","threadPage.newThread":"Nieuwe draad","threadPage.runAction.changeEnvironment":"Omgeving wijzigen","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName}-handelingen","threadPage.runAction.environmentSelector.label":"Omgeving kiezen","threadPage.runAction.label":"Uitvoeren","threadPage.runAction.missing.label":"Stel een uitvoeringsactie in","threadPage.runAction.setup.commandLabel":"Opdracht om uit te voeren","threadPage.runAction.setup.description":"Vertel Codex hoe het afhankelijkheden moet installeren en je app moet opstarten.","threadPage.runAction.setup.editMore":"Omgevingsinstellingen","threadPage.runAction.setup.placeholder":"vb: npm install npm run","threadPage.runAction.setup.submit":"Opslaan en uitvoeren","threadPage.runAction.setup.title":"Uitvoeren","threadPage.runAction.tooltip.withEnvironment":"{environmentName}-handelingen","threadPage.toggleDiffPanel":"Diff-paneel omschakelen","threadPage.toggleTerminal":"Terminal omschakelen","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Map openen","toolSummaryForCmd.exploredFiles":"<verb>Vermeldde</verb> bestanden","toolSummaryForCmd.exploredFilesInPath":"<verb>Vermeldde</verb> bestanden in {path}","toolSummaryForCmd.exploringFiles":"<verb>Vermeldt</verb> bestanden","toolSummaryForCmd.exploringFilesInPath":"<verb>Vermeldt</verb> bestanden in {path}","toolSummaryForCmd.ranGenericCommand":"<status>Heeft opdracht uitgevoerd</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Heeft uitgevoerd:</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lees</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Voert opdracht uit</status>{timer}","toolSummaryForCmd.runningTimer":"voor {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Heeft gezocht</verb> naar {query}","toolSummaryForCmd.searchedForFiles":"<verb>Heeft gezocht</verb> naar bestanden","toolSummaryForCmd.searchedForInPath":"<verb>Heeft gezocht</verb> naar {query} in {path}","toolSummaryForCmd.searchingFor":"<verb>Zoekt</verb> naar {query}","toolSummaryForCmd.searchingForFiles":"<verb>Zoekt</verb> naar bestanden","toolSummaryForCmd.searchingForInPath":"<verb>Zoekt</verb> naar {query} in {path}","traceRecording.startDetails.cancel":"Annuleren","wham.diff.addComment":"Opmerking toevoegen","wham.diff.binaryFile":"Binair bestand niet weergegeven","wham.diff.noContent":"Geen inhoud","wham.fileTag.deleted":"Verwijderd","wham.fileTag.new":"Nieuw","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} u","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} ma","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} w","wham.formattedRelativeDateTime.compactYearsAgo":"{value} j","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Werkt aan je taak","wham.whamProposedTask.title":"Voorgestelde taak","wham.whamProposedTask.useSuggestion":"Suggestie gebruiken","workspaceRootDialog.addError":"Toevoegen van project mislukt","workspaceRootDialog.cancel":"Annuleren","workspaceRootDialog.confirmAdd":"Project toevoegen","workspaceRootDialog.confirmPick":"Project gebruiken","workspaceRootDialog.description":"Voer een pad in op {host} om als project te gebruiken.","workspaceRootDialog.pathLabel":"Projectpad","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Projectpad toevoegen","workspaceRootDialog.title.pick":"Projectpad kiezen","worktreeInitV2.cancel":"Annuleren","worktreeInitV2.notification.failedTitle":"Configuratie van worktree mislukt","worktreeInitV2.output.empty":"Wachten op uitvoer...","worktreeInitV2.status.error":"Configuratie van worktree mislukt.","worktreeInitV2.status.running":"Bezig met maken van worktree en uitvoeren van configuratie.","worktreeInitV2.status.runningFork":"Er wordt een worktree gemaakt om een fork te maken van dit gesprek.","worktreeInitV2.status.success":"Worktree gereed.","worktreeInitV2.title":"Worktree wordt gemaakt","worktreeInitV2.workLocallyInstead":"In plaats daarvan lokaal werken","worktreeRestoreBanner.body":"De worktree van deze draad is verwijderd om schijfruimte te besparen","worktreeRestoreBanner.missing.body":"De werkmap van deze draad bestaat niet meer","worktreeRestoreBanner.missing.title":"Huidige werkmap ontbreekt","worktreeRestoreBanner.restore.error":"Herstellen van worktree mislukt: {message}","worktreeRestoreBanner.restore.success":"Worktree hersteld","worktreeRestoreBanner.restoreCta":"Worktree herstellen","worktreeRestoreBanner.title":"Worktree opgeruimd"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopiëren","app.sidebar.hide":"Zijbalk verbergen","app.sidebar.show":"Zijbalk weergeven","app.sidebar.tooltip":"Zijbalk omschakelen","appHeader.installUpdate":"Bijwerken","appSunset.body":"Deze versie van de app wordt niet meer ondersteund. Download de nieuwste versie <here>hier</here>.","appSunset.title":"Bijwerken vereist","automation.updateDirective.create":"Maken","automation.updateDirective.open":"Openen","automation.updateDirective.untitled":"Automatisering zonder naam","automation.updateDirective.update":"Bijwerken","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# poging} other {# pogingen}}","cloudTaskRow.archiveError":"Archiveren van taak mislukt","code.diff.requestChange":"Wijziging aanvragen","code.diffComment.cancel":"Annuleren","code.diffComment.comment":"Opmerking","code.diffComment.delete":"Verwijderen","code.diffComment.save":"Opslaan","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Er zijn geen resultaten gemeld.","codex.alert.closeAriaLabel":"Sluiten","codex.appUpsellBanner.cbpApi.message":"Bouw sneller met de Codex-app. Download nu of bekijk {learnMoreLink}.","codex.appUpsellBanner.download":"Downloaden","codex.appUpsellBanner.freeGo.message":"Codex is inbegrepen in je plan tot en met 2 maart. Probeer de Codex-app om sneller te bouwen.","codex.appUpsellBanner.later":"Later","codex.appUpsellBanner.learnMoreLowercase":"meer info","codex.appUpsellBanner.new":"Nieuw","codex.appUpsellBanner.proPlusBusiness.message":"Probeer de Codex-app met een 2 keer zo hoge frequentielimiet tot en met 2 april. Download nu of lees {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-app","codex.applyDropdown.header.changes":"Wijzigingen","codex.applyDropdown.header.fileCount":"{count, plural, one {# bestand} other {# bestanden}}","codex.applyDropdown.header.rows":"rijen","codex.applyDropdown.header.title":"Wijzigingen toepassen","codex.applyDropdown.header.workspace":"Project","codex.applyDropdown.results.conflicted":"{count, plural, one {1 conflicterend bestand:} other {{count} conflicterende bestanden:}}","codex.applyDropdown.results.empty":"Geen bestanden gekopieerd","codex.applyDropdown.results.skipped":"{count, plural, one {1 bestand overgeslagen:} other {{count} bestanden overgeslagen:}}","codex.applyOrRevertBanner.apply":"Toepassen","codex.applyOrRevertBanner.applyMessage":"Wijzigingen toepassen en lokaal doorgaan?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Deze taak is gemaakt in {environment} en wordt daarom mogelijk niet correct toegepast.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"De wijzigingen zijn aangebracht in {environment} en worden daarom mogelijk niet correct toegepast.","codex.applyOrRevertBanner.reapply":"Opnieuw toepassen","codex.applyOrRevertBanner.revert":"Terugdraaien","codex.applyOrRevertBanner.revertMessage":"Toegepaste wijzigingen terugdraaien?","codex.applyResultsDialog.applied":"Correct toegepast ({count})","codex.applyResultsDialog.close":"Sluiten","codex.applyResultsDialog.conflicted":"Conflicterend ({count})","codex.applyResultsDialog.noDetails":"Geen details van bestand beschikbaar.","codex.applyResultsDialog.skipped":"Overgeslagen ({count})","codex.applyResultsDialog.title":"Resultaten toepassen","codex.archiveInfo":"Bekijk gearchiveerde chats in {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Gegevensbeheer","codex.archiveInfo.electron":"Bekijk gearchiveerde chats in {settingsLink}.","codex.archiveInfo.extension":"Bekijk gearchiveerde chats in je .codex-map.","codex.archiveInfo.settingsLink":"Instellingen","codex.banner.content.description":"Parallel taken uitvoeren, overal de voortgang volgen en PR's beoordelen met AI.","codex.banner.content.headline":"Codex doet het allemaal.","codex.cloudTaskRow.archiveTask":"Taak archiveren","codex.cloudTaskRow.confirmArchiveTask":"Bevestigen","codex.command.feedback":"Feedback","codex.command.findInThread":"Zoeken","codex.command.forceReloadSkills":"Opnieuw laden van vaardigheden afdwingen","codex.command.logOut":"Afmelden","codex.command.manageTasks":"Taken beheren","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Terug","codex.command.navigateForward":"Vooruit","codex.command.newThread":"Nieuwe draad","codex.command.nextThread":"Volgende draad","codex.command.openFolder":"Map openen","codex.command.openSkills":"Ga naar vaardigheden","codex.command.openThreadOverlay":"Draad weergeven in pop-upvenster","codex.command.personalitySettings":"Persoonlijkheid","codex.command.previousThread":"Vorige draad","codex.command.settings":"Instellingen","codex.command.toggleDiffPanel":"Diff-paneel omschakelen","codex.command.toggleSidebar":"Zijbalk omschakelen","codex.command.toggleTerminal":"Terminal omschakelen","codex.commandGroup.app":"App","codex.commandGroup.configure":"Configureren","codex.commandGroup.navigation":"Navigatie","codex.commandGroup.panels":"Panelen","codex.commandGroup.skills":"Vaardigheden","codex.commandGroup.thread":"Draad","codex.commandGroup.workspace":"Project","codex.commandMenu.noResults":"Geen overeenkomsten","codex.commandMenu.searchPlaceholder":"Zoekcommando's","codex.commandMenu.suggestedGroup":"Voorgesteld","codex.commandMenu.switchWorkspace":"Van project wisselen","codex.commandMenu.title":"Menu met commando's","codex.common.retry":"Opnieuw proberen","codex.composer.searchBranches":"Branches zoeken","codex.dialog.basic.body":"Dit is een eenvoudig modaal dialoogvenster dat gebruikmaakt van onze wrapper rond Radix Dialog.","codex.dialog.basic.cancel":"Annuleren","codex.dialog.basic.confirm":"Bevestigen","codex.dialog.basic.open":"Dialoogvenster openen","codex.dialog.basic.title":"Voorbeeld dialoogvenster","codex.dialog.long.close":"Sluiten","codex.dialog.long.line":"Scrolbare regel {index} om lange inhoud in het dialoogvenster weer te geven.","codex.dialog.long.open":"Dialoogvenster met lange inhoud openen","codex.dialog.long.title":"Dialoogvenster met lange inhoud","codex.dialog.unstyled.body":"Hier wordt verteld hoe aanroepers de opmaak van de inhoud van het dialoogvenster volledig kunnen bepalen.","codex.dialog.unstyled.open":"Niet-opgemaakt dialoogvenster openen","codex.dialog.unstyled.title":"Niet-opgemaakte inhoud","codex.diff.openInEditorPrompt.openButton":"Openen in editor","codex.diff.openInEditorPrompt.singleLine":"Dit bestand is te groot om hier weer te geven.","codex.diffView.failedToDecodeBase64Diff":"Kan base64 diff niet decoderen","codex.diffView.filesChanged":"{fileCount, plural, one {# bestand gewijzigd} other {# bestanden gewijzigd}}","codex.diffView.imagePreviewAlt":"Voorbeeld van afbeelding","codex.diffView.imagePreviewEmpty":"Geen image","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Geen diff-gegevens","codex.diffView.pdfPreview.nextPage":"Volgende pagina","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Vorige pagina","codex.diffView.pdfPreviewEmpty":"Geen PDF-voorbeeld","codex.diffView.pdfPreviewError":"Kan geen PDF-voorbeeld weergeven","codex.diffView.richPreviewDisable":"Uitgebreid voorbeeld uitschakelen","codex.diffView.richPreviewEnable":"Uitgebreid voorbeeld inschakelen","codex.diffView.richPreviewLoading":"Voorbeeld laden…","codex.diffView.richPreviewToggle":"Uitgebreid voorbeeld omschakelen","codex.diffView.switchToUnified":"Omschakelen naar samengevoegde diff","codex.environmentSelector.noEnvironment":"Geen omgeving","codex.environments.environmentSettings":"Omgevingsinstellingen","codex.environments.learnMore":"Meer info","codex.environments.listError":"Laden van omgevingen mislukt.","codex.environments.noEnvironmentsFound":"Geen omgevingen gevonden","codex.environments.searchError":"Omgevingen zoeken mislukt.","codex.errorBoundary.genericError":"Er is een fout opgetreden","codex.errorBoundary.goHome":"Opnieuw proberen","codex.file.patch.missing":"Kan geen patch voor dit bestand bouwen.","codex.gallery.automations.cwdLabel":"Projecten","codex.gallery.automations.nameLabel":"Naam","codex.gallery.automations.namePlaceholder":"Vat een taak samen","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Beschrijf wat Codex moet doen","codex.gallery.dialogs.automation.label":"Dialoogvenster voor automatisering","codex.gallery.dialogs.basic.body":"Gebruik deze indeling voor eenvoudige bevestigingen of korte formulieren.","codex.gallery.dialogs.basic.cancel":"Annuleren","codex.gallery.dialogs.basic.confirm":"Bevestigen","codex.gallery.dialogs.basic.label":"Standaard dialoogvenster","codex.gallery.dialogs.basic.title":"Voorbeeld dialoogvenster","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Beschrijf het probleem","codex.gallery.dialogs.feedbackSubmission.bad":"Slecht resultaat","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Goed resultaat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Logboeken van huidige Codex-sessie opnemen","codex.gallery.dialogs.feedbackSubmission.label":"Verzending van feedback","codex.gallery.dialogs.feedbackSubmission.other":"Overig","codex.gallery.dialogs.feedbackSubmission.placeholder":"Beschrijf het probleem hier","codex.gallery.dialogs.feedbackSubmission.submit":"Verzenden","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback geüpload. Blijft het probleem bestaan? Dan kun je een in GitHub een issue openen of de draad-ID vermelden in een bestaand open issue:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Sluiten","codex.gallery.dialogs.feedbackSuccess.label":"Feedback verzonden","codex.gallery.dialogs.feedbackSuccess.title":"Feedback geüpload","codex.gallery.dialogs.gitApplyResults.applied":"Correct toegepast (2)","codex.gallery.dialogs.gitApplyResults.close":"Sluiten","codex.gallery.dialogs.gitApplyResults.conflicted":"Conflicterend (1)","codex.gallery.dialogs.gitApplyResults.label":"Resultaten toepassen","codex.gallery.dialogs.gitApplyResults.title":"Resultaten toepassen","codex.gallery.dialogs.gitPushError.body":"Pull de nieuwste wijzigingen of dwing een push af als je zeker weet dat de remote geschiedenis veilig kan worden overschreven.","codex.gallery.dialogs.gitPushError.cancel":"Annuleren","codex.gallery.dialogs.gitPushError.force":"Push afdwingen","codex.gallery.dialogs.gitPushError.label":"Push-fout","codex.gallery.dialogs.gitPushError.subtitle":"Je branch bevindt zich achter de oorspronkelijke/hoofdbranch.","codex.gallery.dialogs.gitPushError.title":"Wijzigingen pushen mislukt","codex.gallery.dialogs.gitRevert.cancel":"Annuleren","codex.gallery.dialogs.gitRevert.confirm":"Terugdraaien","codex.gallery.dialogs.gitRevert.label":"Wijzigingen terugdraaien","codex.gallery.dialogs.gitRevert.skip":"Niet meer vragen","codex.gallery.dialogs.gitRevert.subtitle":"Met deze handeling verwijder je al deze wijzigingen.","codex.gallery.dialogs.gitRevert.title":"Wijzigingen terugdraaien?","codex.gallery.dialogs.longForm.label":"Dialoogvenster voor lange formulieren","codex.gallery.dialogs.proseModal.body":"Deze stijl wordt gebruikt voor langere instructies, onboarding of blokken met opgemaakte inhoud.","codex.gallery.dialogs.proseModal.close":"Sluiten","codex.gallery.dialogs.proseModal.subtitle":"Deel hier richtlijnen of documentatie voor langere formulieren.","codex.gallery.dialogs.proseModal.title":"Dialoogvenster voor teksten","codex.gallery.dialogs.submitBlocked.label":"Verzenden geblokkeerd","codex.gallery.dialogs.submitBlocked.message":"Je bericht kon niet worden verzonden omdat het project niet beschikbaar is.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Kan bericht niet verzenden","codex.gallery.dialogs.title":"Dialogs","codex.gallery.dropdown.filterPlaceholder":"Items filteren","codex.gallery.dropdowns.actionRow":"Rijen met handelingen","codex.gallery.dropdowns.actionRow.disabled":"Uitgeschakelde handeling","codex.gallery.dropdowns.actionRow.primary":"Primaire handeling","codex.gallery.dropdowns.actionRow.secondary":"Secundaire handeling","codex.gallery.dropdowns.actionRow.trigger":"Handelingen weergeven","codex.gallery.dropdowns.basic":"Basaal vervolgkeuzemenu","codex.gallery.dropdowns.basic.newFile":"Nieuw bestand","codex.gallery.dropdowns.basic.newFolder":"Nieuwe map","codex.gallery.dropdowns.basic.openSettings":"Instellingen openen","codex.gallery.dropdowns.basic.title":"Snelle handelingen","codex.gallery.dropdowns.basic.trigger":"Menu openen","codex.gallery.dropdowns.basic.upload":"Uploaden","codex.gallery.dropdowns.panel":"Paneeloppervlak","codex.gallery.dropdowns.panel.apply":"Toepassen","codex.gallery.dropdowns.panel.body":"Diffs controleren en toepassen op je project.","codex.gallery.dropdowns.panel.preview":"Voorbeeld","codex.gallery.dropdowns.panel.title":"Wijzigingen toepassen","codex.gallery.dropdowns.panel.trigger":"Paneel openen","codex.gallery.dropdowns.search":"Doorzoekbaar vervolgkeuzemenu","codex.gallery.dropdowns.search.first":"Alpha channel","codex.gallery.dropdowns.search.second":"Bètabranch","codex.gallery.dropdowns.search.third":"Releasekandidaat","codex.gallery.dropdowns.search.trigger":"Items filteren","codex.gallery.dropdowns.submenu":"Vervolgkeuzemenu met submenu","codex.gallery.dropdowns.submenu.optionA":"Project alpha","codex.gallery.dropdowns.submenu.optionB":"Project bèta","codex.gallery.dropdowns.submenu.optionC":"Project gamma","codex.gallery.dropdowns.submenu.primary":"Eigenaar toewijzen","codex.gallery.dropdowns.submenu.secondary":"Verplaatsen naar","codex.gallery.dropdowns.submenu.tertiary":"Archiveren","codex.gallery.dropdowns.submenu.trigger":"Handeling kiezen","codex.gallery.dropdowns.title":"Vervolgkeuzemenu's","codex.gallery.inbox.automations.close":"Sluiten","codex.gallery.inbox.automations.popover.cardTitle":"Automatisering beheren","codex.gallery.inbox.automations.popover.dialogTitle":"Automatisering beheren","codex.header.settingsTooltip":"Instellingen","codex.hunk.patch.error":"Stagen mislukt","codex.hunk.patch.missing":"Kan geen patch voor deze hunk bouwen.","codex.hunk.patch.partialSuccess":"Gedeeltelijk geslaagd","codex.hunk.patch.revertError":"Unstagen mislukt","codex.hunk.patch.revertSuccess":"Unstagen geslaagd","codex.hunk.patch.success":"Stagen geslaagd","codex.legal.autonomy.details":"Zie voor meer informatie de {link}","codex.legal.autonomy.details.link":"Codex-documenten","codex.legal.autonomy.title":"Bepaal hoeveel autonomie je wilt toekennen","codex.legal.backButton":"Terug","codex.legal.cloud.taskOne.meta":"openai/agi · 12 okt.","codex.legal.cloud.taskOne.title":"Leg de repository uit aan een nieuwe ontwerper","codex.legal.cloud.taskThree.meta":"openai/codex · 8 okt.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Maak een thema voor donkere modus","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 okt.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Verhelp een bug in de onboarding","codex.legal.continue.apikey":"Doorgaan","codex.legal.continueButton":"Volgende","codex.legal.copilot.details":"Gebruikt je Copilot-plan voor alle modelaanroepen, facturering en frequentielimieten. Het gebruik van de Codex-extensie is onderworpen aan zowel de {oaiTos} als de {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Servicevoorwaarden van GitHub","codex.legal.copilot.oaiTosLink":"Servicevoorwaarden van OpenAI Codex","codex.legal.copilot.title":"Met de kracht van GitHub Copilot","codex.legal.mistakes.review":"Controleer de geschreven code en de uitgevoerde commando's","codex.legal.mistakes.title":"Codex kan fouten maken","codex.legal.powered.details":"Gebruikt de frequentielimieten van je plan en {link}","codex.legal.powered.details.link":"voorkeuren voor trainingsgegevens","codex.legal.powered.title":"Met de kracht van je ChatGPT-account","codex.legal.step.cloud.subtitle":"Stuur taken naar Codex om op de achtergrond uit te voeren, zodat je gefocust blijft en sneller kunt werken.","codex.legal.step.cloud.title":"Draag het over aan Codex in de cloud","codex.legal.step.intro.subtitle":"Codex navigeert, bewerkt en voert commando's en tests uit, rechtstreeks in je repo. Met de kracht van je ChatGPT-account.","codex.legal.step.intro.title":"Codex in je IDE","codex.legal.step.todo.subtitle":"Schrijf een opmerking met TODO en zet die met één klik om in een Codex-taak.","codex.legal.step.todo.title":"Zet TODO's om in Codex-taken","codex.legal.todo.heading":"// TODO: schema implementeren","codex.localConversation.closeImagePreview":"Voorbeeld van afbeelding sluiten","codex.localConversation.userImageAttachment":"Bijlage van gebruiker","codex.localTaskRow.archiveTask":"Draad archiveren","codex.localTaskRow.awaitingApproval":"Wachten op goedkeuring","codex.localTaskRow.awaitingResponse":"Wacht op reactie","codex.localTaskRow.confirmArchiveTask":"Bevestigen","codex.loggedOut.apiKeyPrompt.cancel":"Annuleren","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"API-sleutel ophalen","codex.loggedOut.apiKeyPrompt.inputLabel":"Voer je OpenAI API-sleutel in","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloudtaken uitgeschakeld met API-sleutel","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloudtaken uitgeschakeld met Copilot en API-sleutel","codex.loggedOut.signIn":"Aanmelden met ChatGPT","codex.loggedOut.signIn.cancel":"Aanmelden annuleren","codex.loggedOut.signInWithCopilot":"Aanmelden met GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API-sleutel gebruiken","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} tool","codex.mcpTool.collapsedLabel.verb.called":"Aangeroepen","codex.mcpTool.collapsedLabel.verb.calling":"Aanroepen","codex.mcpTool.embeddedResource.contentLabel":"Inhoud","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-type","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Tool heeft geen inhoud geretourneerd","codex.mcpTool.rawPayloadHeading":"Onbewerkte payload {server}.{tool}-toolaanroep","codex.menu.recent":"Recent","codex.menu.seeAllHistory":"Alle geschiedenis bekijken","codex.modelCapacityBanner.headline.noReset":"{modelName} heeft de maximale capaciteit bereikt. Probeer het later opnieuw of start een nieuw gesprek met een ander model.","codex.modelCapacityBanner.headline.withReset":"{modelName} heeft de maximale capaciteit bereikt. Probeer het opnieuw na {resetDate} of start een nieuw gesprek met een ander model.","codex.modelCapacityBanner.title":"Geselecteerd model heeft de maximale capaciteit bereikt","codex.patch.change.contentsDeleted":"Inhoud verwijderd","codex.patch.change.created":"Gemaakt","codex.patch.change.created-file":"Bestand gemaakt","codex.patch.change.creating":"Bezig met maken","codex.patch.change.deleted":"Verwijderd","codex.patch.change.deleted-file":"Bestand verwijderd","codex.patch.change.deleting":"Bezig met verwijderen","codex.patch.change.edited":"Bewerkt","codex.patch.change.edited-file":"Bewerkt bestand","codex.patch.change.editing":"Bezig met bewerken","codex.patch.change.noChanges":"Geen wijzigingen","codex.patch.change.rejected-add":"Geweigerd","codex.patch.change.rejected-delete":"Geweigerd","codex.patch.change.rejected-edit":"Geweigerd","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} van {total} taken voltooid","codex.plan.todoListCreated":"Takenlijst gemaakt met {total} taken","codex.profileDropdown.apiKeyAuth":"Aangemeld met API-sleutel","codex.profileDropdown.codexSettings":"Codex-instellingen","codex.profileDropdown.copilotAuth":"Aangemeld met Copilot","codex.profileDropdown.defaultAccountTitle":"Standaardaccount","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter om lange prompts te versturen","codex.profileDropdown.enterBehaviorError":"Bijwerken van instelling mislukt","codex.profileDropdown.getPlus":"Upgraden voor hogere limieten","codex.profileDropdown.keyboardShortcuts":"Snelkoppelingen","codex.profileDropdown.language":"Taal","codex.profileDropdown.languageDefault":"Automatisch detecteren","codex.profileDropdown.languageSearchPlaceholder":"Talen zoeken","codex.profileDropdown.languageUpdateError":"Bijwerken van taal mislukt","codex.profileDropdown.logOut":"Afmelden","codex.profileDropdown.mcp":"MCP-instellingen","codex.profileDropdown.openConfigToml":"config.toml openen","codex.profileDropdown.openConfigToml.wsl":"config.toml openen in WSL-omgeving","codex.profileDropdown.openExtensionSettings":"Instellingen openen","codex.profileDropdown.openMcpSettings":"MCP-instellingen openen","codex.profileDropdown.openOnStartup":"Openen bij opstarten","codex.profileDropdown.openOnStartupError":"Bijwerken van instelling mislukt","codex.profileDropdown.openSkillsSettings":"Vaardigheidsinstellingen openen","codex.profileDropdown.personalAccountTitle":"Persoonlijk account","codex.profileDropdown.queueFollowUps":"Follow-ups in wachtrij","codex.profileDropdown.queueFollowUpsError":"Bijwerken van instelling mislukt","codex.profileDropdown.readDocs":"Documenten lezen","codex.profileDropdown.readSkillsDocs":"Documenten lezen","codex.profileDropdown.runInWsl":"Run in WSL","codex.profileDropdown.runInWslError":"Bijwerken van instelling mislukt","codex.profileDropdown.runInWslTooltip":"Voert Codex uit binnen WSL. Aanbevolen voor verbeterde sandbox-beveiliging en betere prestaties.","codex.profileDropdown.settings":"IDE-instellingen","codex.profileDropdown.settingsPage":"Instellingen","codex.profileDropdown.signInWithOpenAI":"Aanmelden met ChatGPT","codex.profileDropdown.skills":"Vaardigheidsinstellingen","codex.profileDropdown.switchToCopilotAccount":"Copilot-account gebruiken","codex.profileDropdown.switchToOpenAIAccount":"OpenAI-account gebruiken","codex.profileDropdown.todoCodelens":"TODO-opmerkingen corrigeren","codex.profileDropdown.todoCodelensError":"Bijwerken van instelling mislukt","codex.profileDropdown.windowsDocumentation":"Windows-documentatie","codex.profileFooter.signedInFallback":"Instellingen","codex.profileFooter.upgrade":"Upgraden","codex.recentTasksMenu.clearSearch":"Zoekopdracht wissen","codex.recentTasksMenu.cloud":"Cloudtaken","codex.recentTasksMenu.count":"{count, plural, =0 {Er worden geen taken uitgevoerd} one {# taak wordt uitgevoerd} other {# taken worden uitgevoerd}}","codex.recentTasksMenu.empty":"Nog geen draden","codex.recentTasksMenu.errorCloud":"Laden van taken mislukt.","codex.recentTasksMenu.errorCloud.inline":"Laden van cloudtaken mislukt.","codex.recentTasksMenu.filterAll":"Alle","codex.recentTasksMenu.filterCloudTasks":"Cloudtaken filteren","codex.recentTasksMenu.filterTooltip":"Taken filteren op omgeving","codex.recentTasksMenu.local":"Lokale taken","codex.recentTasksMenu.recent":"Alle taken","codex.recentTasksMenu.search":"Recente taken zoeken","codex.recentTasksMenu.searchEmpty":"Geen resultaat","codex.recentTasksMenu.tooltip":"Taakgeschiedenis","codex.recentTasksMenu.trigger":"Recente taken. {count, plural, one {# wordt uitgevoerd} other {# worden uitgevoerd}}","codex.remoteConversation.applyDiff.applyCta":"Wijzigingen toepassen","codex.remoteConversation.applyDiff.dropdownTitle":"Wijzigingen toepassen op een lokale branch","codex.remoteConversation.applyDiff.revertCta":"Wijzigingen terugdraaien","codex.remoteConversation.closeImagePreview":"Voorbeeld van afbeelding sluiten","codex.remoteConversation.codexCloudTask":"Je bekijkt een <u>Codex cloud</u>-taak","codex.remoteConversation.errorWithMessage":"Fout: {message}","codex.remoteConversation.loadingImage":"Afbeelding wordt geladen","codex.remoteConversation.openInWeb":"Openen op internet","codex.remoteConversation.streaming":"Bezig met opstarten","codex.remoteConversation.turnFailed":"Er is een fout opgetreden tijdens deze taak","codex.remoteConversation.turnTab.loading":"Attempt {number}","codex.remoteConversation.turnTab.title":"Attempt {number}","codex.remoteConversation.userImageAttachment":"Bijlage van gebruiker","codex.remoteConversation.viewPreviousTurns":"Openen op internet","codex.remoteConversation.viewPreviousTurns.buttonText":"Openen","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Openen op internet","codex.review.copyGitApplyCommand":"Git apply-opdracht kopiëren","codex.review.copyGitApplyCommand.toast":"Git apply-opdracht gekopieerd naar klembord","codex.review.diffTooLarge.description":"Deze diff is te groot om te worden weergegeven in het beoordelingsscherm.","codex.review.diffTooLarge.title":"Diff is te groot om weer te geven.","codex.review.expandOrCollapseDiffButton.collapse":"Alle diffs samenvouwen","codex.review.expandOrCollapseDiffButton.expand":"Alle diffs uitvouwen","codex.review.expandOrCollapseDiffMenu.collapse":"Alle diffs samenvouwen","codex.review.expandOrCollapseDiffMenu.expand":"Alle diffs uitvouwen","codex.review.fileSearch.clear":"Bestandsfilter wissen","codex.review.fileSearch.empty":"Er komen geen bestanden overeen met het huidige filter.","codex.review.fileSearch.label":"Bestanden filteren","codex.review.fileSearch.placeholder":"Bestanden filteren…","codex.review.filesChanged":"{num, plural, =0 {Geen bestanden gewijzigd} one {# bestand gewijzigd} other {# bestanden gewijzigd}}","codex.review.find.loadMore":"Meer overeenkomsten laden","codex.review.fullReview.hideFileTree":"Bestandsboom verbergen","codex.review.fullReview.showFileTree":"Bestandsboom weergeven","codex.review.header.moreOptions":"Beoordelingsopties","codex.review.largeDiff.banner":"Grote diff gedetecteerd. Er wordt één bestand tegelijk weergegeven.","codex.review.loadFullFiles.disable":"Geen volledige bestanden laden","codex.review.loadFullFiles.enable":"Volledige bestanden laden","codex.review.noDiff":"Bestandswijzigingen worden hier weergegeven","codex.review.noDiff.gitInit.createRepository":"Git-repository maken","codex.review.noDiff.gitInit.creating":"Aan het maken…","codex.review.noDiff.gitInit.error":"Git-init mislukt: {message}","codex.review.noDiff.gitInit.success":"Git-repository gemaakt","codex.review.noDiff.gitRepoRequired.description":"Houd wijzigingen bij of maak ze ongedaan in dit project","codex.review.noDiff.gitRepoRequired.title":"Maak een Git-repository","codex.review.noDiff.orNoLongerAvailable":"of de nieuwste diffs zijn niet meer beschikbaar","codex.review.noDiff.reverted":"De laatste beurt is teruggedraaid","codex.review.noDiff.revertedOrCommitted":"De laatste beurt is teruggedraaid of vastgelegd","codex.review.refreshGitQueries":"Vernieuwen","codex.review.revert.file.error":"{path} terugdraaien mislukt","codex.review.revert.file.partialSuccess":"{path} gedeeltelijk teruggedraaid","codex.review.revert.file.success":"{path} teruggedraaid","codex.review.revert.hunk.error":"Terugdraaien van hunk {hunkNumber} in {path} mislukt","codex.review.revert.hunk.partialSuccess":"Hunk {hunkNumber} in {path} gedeeltelijk teruggedraaid","codex.review.revert.hunk.success":"Hunk {hunkNumber} in {path} teruggedraaid","codex.review.revert.section.error":"Terugdraaien van sectie mislukt","codex.review.revert.section.partialSuccess":"Sectie gedeeltelijk teruggedraaid","codex.review.revert.section.success":"Sectie teruggedraaid","codex.review.revertDialog.cancel":"Annuleren","codex.review.revertDialog.confirm":"Bevestigen","codex.review.revertDialog.message":"Met deze handeling verwijder je al deze wijzigingen.","codex.review.revertDialog.skip":"Niet meer vragen","codex.review.revertDialog.title":"Wijzigingen terugdraaien?","codex.review.richPreview.disable":"Uitgebreid voorbeeld uitschakelen","codex.review.richPreview.enable":"Uitgebreid voorbeeld inschakelen","codex.review.source.cloud":"Cloud-wijzigingen","codex.review.source.local.all":"Alle wijzigingen in de branch","codex.review.source.local.lastTurn":"Wijzigingen in de laatste beurt","codex.review.source.local.uncommitted":"Niet-vastgelegde wijzigingen","codex.review.source.worktree":"Niet gecommitte worktree-wijzigingen","codex.review.stageFilter.empty.staged.description":"Accepteer bewerkingen om ze te stagen","codex.review.stageFilter.empty.staged.title":"Geen gestagede wijzigingen","codex.review.stageFilter.empty.unstaged.description":"Codewijzigingen worden hier weergegeven","codex.review.stageFilter.empty.unstaged.title":"Geen unstagede wijzigingen","codex.review.stageFilter.staged":"Gestaged","codex.review.stageFilter.staged.count":"Gestaged · {count}","codex.review.stageFilter.unstaged":"Unstaged","codex.review.stageFilter.unstaged.count":"Unstaged· {count}","codex.review.switchToSplit":"Wisselen naar gesplitste diff","codex.review.switchToUnified":"Wisselen naar samengevoegde diff","codex.review.toggleDiffView":"Diff-weergave omschakelen","codex.review.wordDiffs.disable":"Woord-diffs uitschakelen","codex.review.wordDiffs.enable":"Woord-diffs inschakelen","codex.review.wrap.disable":"Tekstterugloop uitschakelen","codex.review.wrap.enable":"Tekstterugloop inschakelen","codex.section.patch.missing":"Kan geen patch voor deze sectie bouwen.","codex.shell.collapse":"Shell samenvouwen","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Shell-inhoud gekopieerd","codex.shell.copy.copyTooltip":"Shell-inhoud kopiëren","codex.shell.copyCommand":"Commando kopiëren","codex.shell.copyOutput":"Uitvoer kopiëren","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Shell uitvouwen","codex.shell.name":"Shell","codex.shell.noOutput":"Geen uitvoer","codex.signInFailed.message":"Aanmelden mislukt: {rawMessage}","codex.stories.toast.show":"Toast weergeven","codex.stories.tooltip.basic":"Dit is een tooltip","codex.stories.tooltip.hoverMe":"Beweeg de cursor over de tekst","codex.stories.tooltip.largerOffset":"Deze tooltip heeft een grotere offset","codex.stories.tooltip.offsetButton":"Grotere offset","codex.stories.tooltip.shortcutButton":"Met snelkoppeling","codex.stories.tooltip.withShortcut":"Terminal omschakelen","codex.taskRow.title":"Nieuwe draad","codex.taskRowLayout.confirm":"Bevestigen","codex.threadFindBar.chatFilter":"Zoeken in chat","codex.threadFindBar.close":"Zoeken sluiten","codex.threadFindBar.diffFilter":"Zoeken in diffs","codex.threadFindBar.label":"Zoeken in draad","codex.threadFindBar.nextResult":"Volgende resultaat","codex.threadFindBar.noResults":"0 resultaten","codex.threadFindBar.placeholder":"Zoeken in draad...","codex.threadFindBar.placeholder.extension":"Zoeken in draad...","codex.threadFindBar.placeholder.review":"Diff zoeken…","codex.threadFindBar.placeholder.review.extension":"Diff zoeken…","codex.threadFindBar.previousResult":"Vorig resultaat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# bestand gewijzigd} other {# bestanden gewijzigd}}","codex.unifiedDiff.inlineLargeFile":"Te groot om inline te renderen","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Ongedaan maken","codex.unifiedDiff.revertPatchError":"Wijzigingen terugdraaien mislukt","codex.unifiedDiff.revertPatchSuccess":"Wijzigingen teruggedraaid","codex.unifiedDiff.reviewChangesSuffix":"wijzigingen","codex.unifiedDiff.reviewShort":"Beoordelen","codex.unifiedDiff.viewDiffTooltip":"Beoordelen","codex.upsellBanner.business.headline":"Om nu extra toegang te krijgen, moet je een verzoek aan je beheerder sturen. Anders moet je wachten tot {resetDate}.","codex.upsellBanner.cbp.headline":"Om nu extra toegang te krijgen, moet je een verzoek aan je beheerder sturen.","codex.upsellBanner.cta.addCredits":"Voeg credits toe","codex.upsellBanner.cta.upgradeAccount":"Upgraden","codex.upsellBanner.cta.viewUsage":"Gebruik bekijken","codex.upsellBanner.freeOrGo.headline":"Je frequentielimiet wordt gereset op {resetDate}. Upgrade naar Plus om Codex te blijven gebruiken.","codex.upsellBanner.general.headline":"Je frequentielimiet wordt gereset op {resetDate}.","codex.upsellBanner.general.title":"Je hebt geen Codex-berichten meer over","codex.upsellBanner.plus.headline":"Je frequentielimiet wordt gereset op {resetDate}. Voeg credits toe of upgrade naar Pro om Codex te blijven gebruiken.","codex.upsellBanner.pro.headline":"Je frequentielimiet wordt gereset op {resetDate}. Voeg credits toe om Codex te blijven gebruiken.","codex.userMessage.autoResolveSync":"Conflicten automatisch oplossen","codex.userMessage.commentCount":"{count, plural, one {# opmerking} other {# opmerkingen}}","codex.userMessage.copiedAriaLabel":"Gekopieerd","codex.userMessage.copiedTooltip":"Gekopieerd","codex.userMessage.copyAriaLabel":"Bericht kopiëren","codex.userMessage.copyTooltip":"Kopiëren","codex.userMessage.implementPlan":"Plan implementeren","codex.userMessage.noContent":"(Geen inhoud)","codex.userMessage.priorConversation":"Verwijst naar voorafgaand gesprek","codex.userMessage.reviewMode":"Beoordelingsmodus","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"voor {query}","codex.webSearch.summary.verb.completed":"Gezocht op internet","codex.webSearch.summary.verb.inProgress":"Zoekt op internet","codex.windowsInstallWslBanner.dismiss":"Sluiten","codex.windowsInstallWslBanner.installWslCta":"Sandbox inschakelen","codex.windowsInstallWslBanner.learnMore":"Meer info","codex.windowsSandboxBanner.content":"Agentmodus gebruikt een experimentele sandbox in Windows om toegang tot het bestandssysteem en netwerk te beperken. {sandboxLink}","codex.windowsSandboxBanner.title":"Sandbox voor agentmodus inschakelen","codex.windowsSubDropdown.windowsSandbox":"Windows-sandbox","codex.windowsSubDropdown.windowsSettings":"Windows-instellingen","codexUpgradeModal.body":"Codex werkt nu op basis van GPT-5.2-Codex, ons nieuwste grensverleggende agentic coderingsmodel. Wat codering betreft, is het {link}; een verdere verbetering ten opzichte van GPT-5.2.","codexUpgradeModal.close":"Sluiten","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"slimmer en sneller","codexUpgradeModal.title":"Codex heeft zojuist een upgrade gekregen","codexUpgradeModal.tryNewModel":"Probeer GPT-5.2-Codex nu","codexUpgradeModal.useExistingModel":"Doorgaan met huidig model","commentAttachments.numComments":"{count, plural, one {# opmerking} other {# opmerkingen}}","commentAttachments.removeAriaLabel":"Bijlage met opmerkingen verwijderen","common.close":"Sluiten","composer.addContext.openFilePickerError":"Kan de bestandskiezer niet openen","composer.addContextDropdown.ariaLabel":"Bestanden en meer toevoegen","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Bestanden en meer toevoegen","composer.addPhotosAndFiles":"Foto's en bestanden toevoegen","composer.atMentionList.emptyQuery":"Typ om naar bestanden te zoeken","composer.atMentionList.loading":"Zoeken...","composer.atMentionList.noResults":"Geen resultaten","composer.attemptsSelector.option":"{count, plural, one {# versie} other {# versies}}","composer.attemptsSelector.tooltip":"Aantal parallelle pogingen dat Codex moet doen","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Stoppen","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokaal","composer.cloudFollowUp.whereRun":"Waar moet deze follow-up worden uitgevoerd?","composer.cloudTaskCreationError":"Fout bij maken van cloudtaak","composer.cloudTaskError":"Fout bij maken van taak","composer.contextWindow.autoCompactionTooltipLine1":"Codex comprimeert de context automatisch","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Contextvenster:","composer.contextWindowUsageStatusFull":"{usage}% vol","composer.contextWindowUsageStatusLeft":"{usage}% gebruikt ({remaining}% resterend)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens gebruikt","composer.customCliTooltip":"Er wordt een aangepast uitvoerbaar CLI-bestand gebruikt","composer.dictation.aria":"Dicteren","composer.dictation.cancel.aria":"Stoppen met dicteren","composer.dictation.cancel.tooltip":"Stoppen met dicteren","composer.dictation.startError":"Kan dicteren niet starten","composer.dictation.submit.aria":"Transcriberen en versturen","composer.dictation.submit.tooltip":"Transcriberen en versturen","composer.dictation.tooltip":"Ingedrukt houden om te dicteren","composer.dictation.transcribeError":"Kan audio niet transcriberen","composer.dictation.unsupported":"Dicteren is niet beschikbaar op dit apparaat","composer.dropOverlay.holdShift":"Houd {key} ingedrukt om neer te zetten","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Nieuwe maken","composer.environmentSelector.error":"Fout bij laden van omgevingen","composer.environmentSelector.goBack":"Terug naar composer","composer.environmentSelector.title":"Omgeving selecteren","composer.environmentSelector.tooltip":"Selecteer een cloudomgeving","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Selecteer een bestand","composer.filePicker.selectFiles":"Bestanden selecteren","composer.followerTooltip":"Ga naar het venster waarin dit gesprek werd gestart om verder te gaan.","composer.footer.branchSwitch.checkoutError":"Kan niet wisselen van branch: {message}","composer.footer.branchSwitch.createAndCheckout":"Nieuwe branch maken en uitchecken…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Commit de wijzigingen om een nieuwe branch te maken en uit te checken","composer.footer.branchSwitch.createBranchError":"Maken van branch mislukt: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Naam branch","composer.footer.branchSwitch.createDialog.branchExistsError":"Branch bestaat al.","composer.footer.branchSwitch.createDialog.close":"Sluiten","composer.footer.branchSwitch.createDialog.createAndCheckout":"Maken en uitchecken","composer.footer.branchSwitch.createDialog.placeholder":"nieuwe-branch","composer.footer.branchSwitch.createDialog.title":"Branch maken en uitchecken","composer.footer.branchSwitch.createDialog.trailingSlashError":"Branchnaam mag niet eindigen op “/”.","composer.footer.branchSwitch.tooltip":"Branch wisselen","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Wijzigingen committen in {fileCount, plural, one {# bestand} other {# bestanden}} om {branchName} te betalen.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"wijzigingen in {fileCount, plural, one {# bestand} other {# bestanden}} om {branchName} te betalen.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Annuleren","composer.footer.branchSwitch.uncommittedDialog.commit":"Committen en van branch wisselen...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Je wijzigingen aan de volgende bestanden worden overschreven bij het betalen:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Commit je wijzigingen om door te gaan","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"met de geselecteerde branch","composer.footer.branchSwitch.uncommittedDialog.title":"Commit wijzigingen om van branch te wisselen","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Niet gecommit: {fileCount, plural, one {# bestand} other {# bestanden}}","composer.forkSlashCommand.description":"Van deze draad een fork maken naar lokaal of een nieuwe worktree","composer.forkSlashCommand.option.local.description":"Verdergaan in een nieuwe lokale draad","composer.forkSlashCommand.option.local.title":"Fork maken naar lokaal","composer.forkSlashCommand.option.worktree.description":"Verdergaan in nieuwe worktree","composer.forkSlashCommand.option.worktree.title":"Fork maken naar nieuwe worktree","composer.forkSlashCommand.title":"Fork","composer.imageInputsUnsupported":"Dit model ondersteunt geen input van afbeeldingen. Probeer een ander model.","composer.imageUploadFailed":"Uploaden van afbeelding mislukt","composer.includeIdeContextDropdown":"IDE-context bijvoegen","composer.includeIdeContextDropdown.ariaLabel":"IDE-context bijvoegen","composer.localCwdDropdown.addWorkspaceRoot":"Nieuw project toevoegen","composer.localCwdDropdown.noActiveRoot":"Selecteer je project","composer.localCwdDropdown.noResults":"Geen mappen gevonden","composer.localCwdDropdown.title":"Selecteer je project","composer.localTaskError":"Fout bij starten van gesprek","composer.mcpSlashCommand.description":"MCP-serverstatus weergeven","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Niet geauthenticeerd","composer.mcpStatus.authOauth":"Geauthenticeerd (OAuth) ","composer.mcpStatus.authToken":"Geauthenticeerd (API-sleutel)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Sluiten","composer.mcpStatus.disabled":"Uitgeschakeld","composer.mcpStatus.emptyLabel":"Servers:","composer.mcpStatus.emptyValue":"Geen MCP-servers geconfigureerd","composer.mcpStatus.enabled":"Ingeschakeld","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"MCP-status kan niet worden geladen","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Andere modus","composer.mode.agentMode.custom":"Aangepast","composer.mode.agentMode.custom.dropdownLabel":"Aangepast","composer.mode.agentMode.custom.option":"Aangepast (config.toml)","composer.mode.agentMode.custom.optionLabel":"Aangepast (config.toml)","composer.mode.agentMode.customInfo.cancel":"Annuleren","composer.mode.agentMode.customInfo.cli":"Je kunt deze instellingen aanpassen via de CLI of door het bestand rechtstreeks te bewerken.","composer.mode.agentMode.customInfo.confirm":"Aangepaste modus gebruiken","composer.mode.agentMode.customInfo.description":"In de aangepaste modus worden de goedkeurings- en sandbox-beleidsregels toegepast die zijn gedefinieerd in je <link>config.toml</link>-bestand.","composer.mode.agentMode.customInfo.docs":"Meer info over het configureren van goedkeurings- en sandbox-beleidsregels vind je in de <link>documenten over de uitvoeringsomgeving</link>.","composer.mode.agentMode.customInfo.refresh":"Alle wijzigingen worden van kracht wanneer de agent de volgende keer wordt uitgevoerd.","composer.mode.agentMode.customInfo.title":"Hoe de aangepaste modus werkt","composer.mode.agentMode.fullAccess":"Agent (volledige toegang)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (volledige toegang)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (volledige toegang)","composer.mode.agentMode.fullAccessConfirm.caution":"Wees voorzichtig bij het inschakelen van volledige toegang. Dit verhoogt aanzienlijk het risico op gegevensverlies, lekken of onverwacht gedrag.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ja, toch doorgaan","composer.mode.agentMode.fullAccessConfirm.description":"Wanneer Codex met volledige toegang wordt uitgevoerd, kan het elk bestand op je computer bewerken en commando's uitvoeren via het netwerk, zonder je toestemming.","composer.mode.agentMode.fullAccessConfirm.goBack":"Annuleren","composer.mode.agentMode.fullAccessConfirm.title":"Volledige toegang inschakelen?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Andere modus","composer.mode.agentMode.tooltip.auto":"Bestanden lezen en bewerken en commando's uitvoeren.","composer.mode.agentMode.tooltip.custom":"Gebruik de nieuwste goedkeurings- en sandboxbeleidsregels die zijn gedefinieerd in config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Met netwerktoegang kan Codex bestanden buiten dit project bewerken en commando's uitvoeren. Wees voorzichtig bij het gebruik.","composer.mode.agentMode.tooltip.readOnly":"Vereist goedkeuring om bestanden te bewerken en commando's uit te voeren.","composer.mode.cloud.tooltip":"Werken in een cloudomgeving","composer.mode.contactAdmin":"Neem voor meer toegang contact op met je beheerder","composer.mode.local":"Lokaal","composer.mode.local.learnMore":"Meer info","composer.mode.local.model.custom":"Aangepast","composer.mode.local.model.loadingModel":"Model laden","composer.mode.local.model.selecrReasoningEffort":"Redeneren selecteren","composer.mode.local.model.selectModel":"Model selecteren","composer.mode.local.model.tooltip":"Model kiezen","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Hoog","composer.mode.local.reasoning.low.label":"Laag","composer.mode.local.reasoning.medium.label":"Gemiddeld","composer.mode.local.reasoning.minimal.label":"Minimaal","composer.mode.local.reasoning.none.label":"Geen","composer.mode.local.reasoning.xhigh.label":"Extra hoog","composer.mode.localRemoteWhereRun":"Selecteer waar de taak moet worden uitgevoerd","composer.mode.newTask.header":"Doorgaan in","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Resterende frequentielimieten","composer.mode.rateLimit.hour":"{hours} u","composer.mode.rateLimit.minute":"{minutes} m","composer.mode.rateLimit.modelSectionLabel":"{modelName}-limiet:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {wekelijkse limiet} other {{weeks}-wekelijkse limiet}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Wekelijks} other {{weeks}-wekelijks}}","composer.mode.remote.connectToCloud":"Codex web verbinden","composer.mode.remote.connectToCloudDisabledTooltip":"Stel een omgeving in via Codex web om taken naar de cloud te kunnen versturen","composer.mode.remote.selectEnvironment":"Omgeving selecteren","composer.mode.remote.sendToCloud":"Versturen naar cloud","composer.mode.remote.setupViaWeb":"Omgeving instellen via Codex web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Werken in cloudomgeving","composer.mode.segmentedToggle.local.tooltip":"Werken in je lokale project","composer.mode.segmentedToggle.worktree.tooltip":"Werken in een parallelle worktree","composer.mode.upgradeToPlus":"Upgraden naar Plus","composer.mode.upgradeToPro":"Upgraden naar Pro","composer.mode.workLocally":"Lokaal project","composer.mode.workLocally.currentBranchFallback":"jouw branch","composer.mode.workLocally.tooltip":"Werken in {branchName}","composer.mode.worktree":"Nieuwe worktree","composer.mode.worktree.submoduleWarning":"Deze repo bevat Git-submodules. Het maken van worktrees kan mislukken","composer.mode.worktree.tooltip":"Maak een kopie van je lokale project om parallel te werken","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Midden in een gesprek van model wisselen verslechtert de prestaties.","composer.newChat.heading.browser":"Wat zullen we hierna programmeren?","composer.permissionsDropdown.custom.label":"Aangepast (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Aangepast (config.toml)","composer.permissionsDropdown.default.label":"Standaardmachtigingen","composer.permissionsDropdown.default.optionLabel":"Standaardmachtigingen","composer.permissionsDropdown.fullAccess.disabled":"Volledige toegang is uitgeschakeld door requirements.toml","composer.permissionsDropdown.trigger.tooltip":"Machtigingen wijzigen","composer.personalitySlashCommand.description.friendly":"Warm, samenwerkend en behulpzaam","composer.personalitySlashCommand.description.pragmatic":"Beknopt, taakgericht en direct","composer.personalitySlashCommand.label.friendly":"Vriendelijk","composer.personalitySlashCommand.label.pragmatic":"Pragmatisch","composer.personalitySlashCommand.notApplicableSuffix":"(Niet van toepassing op huidige model)","composer.personalitySlashCommand.title":"Persoonlijkheid","composer.placeholder.cloudFollowUp.directFollowUp":"Opvolgtaak voor deze cloudtaak","composer.placeholder.cloudFollowUp.local":"Maak een nieuwe lokale taak die aan deze cloudtaak refereert","composer.placeholder.cloudFollowUp.workingTree":"Maak een nieuwe cloudtaak die je huidige code bevat en aan deze taak refereert","composer.placeholder.localFollowUp.cloud":"Vervolg in een nieuwe cloudtaak","composer.placeholder.localFollowUp.locally":"Vraag om vervolgwijzigingen","composer.placeholder.newTask.cloud":"Vraag Codex om iets in de cloud te doen","composer.placeholder.newTask.doAnything":"Vraag Codex om iets te doen","composer.placeholder.newTask.locally":"Vraag Codex wat je maar wilt, @ om bestanden toe te voegen, / voor opdrachten","composer.planModeDropdown":"Planmodus","composer.planModeDropdown.ariaLabel":"Planmodus","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"Planmodus uitschakelen","composer.planSlashCommand.enableDescription":"Planmodus inschakelen","composer.planSlashCommand.title":"Planmodus","composer.priorContext.label":"Eerdere context","composer.priorContext.removeAriaLabel":"Eerdere context verwijderen","composer.queuedMessage.delete":"In wachtrij geplaatst bericht verwijderd","composer.queuedMessage.edit":"Bericht bewerken","composer.queuedMessage.more":"Handelingen voor in wachtrij geplaatste berichten ","composer.queuedMessage.sendNow":"Nu versturen","composer.queuedMessage.turnOff":"Wachtrijen uitzetten","composer.reasoningEffort.local.reasoning.tooltip":"Redeneerinspanning selecteren","composer.remote.branchStartingPoint":"Vanaf welke branch moet deze taak starten?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Maak een nieuwe taak die verwijst naar deze cloudtaak.","composer.remote.currentEditsSuffix.useLocal":"met lokale codewijzigingen","composer.remote.directFollowUp":"Lokale wijzigingen niet gebruiken","composer.remote.errorLoadingBranches":"Fout bij laden van branches","composer.remote.fromBranch":"Vanaf {branch}","composer.remote.fromCurrentBranch":"Vanaf {branch} (huidige)","composer.remote.loadingMoreBranches":"Laden...","composer.remote.localFileStateHeading":"Status van lokaal bestand","composer.remote.localWorkingTree":"Lokale wijzigingen gebruiken","composer.remote.startingPoint":"Vanaf welke code moet deze taak starten?","composer.reviewMode.branches.error":"Kan branches niet laden","composer.reviewMode.branches.retry":"Opnieuw proberen","composer.reviewMode.gitRoot.error":"Git root niet gevonden","composer.reviewMode.option.baseBranch.simple":"Beoordelen ten opzichte van een basisbranch","composer.reviewMode.option.unstaged.simple":"Niet-vastgelegde wijzigingen beoordelen","composer.reviewMode.quickReviewError":"Starten van codebeoordeling mislukt.","composer.reviewMode.title":"Codebeoordeling","composer.sandboxButton.unlock.disabled.tooltip":"Volledige toegang is uitgeschakeld door requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex kan een experimentele sandbox in Windows gebruiken om toegang tot het bestandssysteem en netwerk te beperken. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows-sandbox inschakelen?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Alleen-lezen gebruiken","composer.searchEnvironments":"Omgevingen zoeken","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Vaardigheden laden...","composer.skillMentionList.noResults":"Geen vaardigheden gevonden","composer.slashCommands.cloudEnvironment.title":"Cloudomgeving","composer.slashCommands.dialogLabel":"Menu met Slash-commando's","composer.slashCommands.dialogTitle":"Slash-commando's","composer.slashCommands.disabledTooltip":"Start een nieuw gesprek om slash-commando's te gebruiken","composer.slashCommands.inputPlaceholder":"Zoeken","composer.slashCommands.noResults":"Geen commando's","composer.slashCommands.skillsGroup":"Vaardigheden","composer.slashCommands.tooltip":"Browsen in Slash-commando's","composer.status.close":"Sluiten","composer.statusPlain.alertLabel":"Waarschuwing:","composer.statusPlain.alertValue":"{remaining}% over op {window}","composer.statusPlain.contextLabel":"Context:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} gebruikt / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% over","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName}-limiet:","composer.statusPlain.rateLimitDays":"Limiet van {count}d","composer.statusPlain.rateLimitFallbackLabel":"Frequentielimiet:","composer.statusPlain.rateLimitHours":"Limiet van {count}u","composer.statusPlain.rateLimitLabelBase":"Frequentielimiet","composer.statusPlain.rateLimitMinutes":"Limiet van {count}m","composer.statusPlain.rateLimitPercent":"{remaining}% over","composer.statusPlain.rateLimitReset":"wordt gereset: {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"resettijdstip niet beschikbaar","composer.statusPlain.rateLimitUnavailable":"Niet beschikbaar","composer.statusPlain.sessionCopiedAriaLabel":"Sessie-ID gekopieerd","composer.statusPlain.sessionCopiedTooltip":"ID gekopieerd","composer.statusPlain.sessionCopyAriaLabel":"Sessie-ID kopiëren","composer.statusPlain.sessionCopyTooltip":"ID kopiëren","composer.statusPlain.sessionLabel":"Sessie:","composer.statusSlashCommand.description":"Draad-ID, contextgebruik en frequentielimieten weergeven","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Kan bericht niet verzenden","composer.submit.emptyMessage":"Voer een bericht in om aan de slag te gaan","composer.submit.imageInputsUnsupported":"Verwijder afbeeldingen of kies een ander model om dit bericht te verzenden.","composer.submit.loadingLocalConfig":"Laden...","composer.submit.missingCloudConfig":"Je moet een cloudomgeving selecteren","composer.submit.missingCloudTurn":"Kan deze taak niet opvolgen","composer.submit.noWorkspace":"Voeg een project toe om Codex te gebruiken","composer.submit.waitForImageUploads":"Afbeeldingen worden geüpload...","composer.submitButtonTooltip.send":"Versturen","composer.submitButtonTooltip.stop":"Stoppen","composer.worktreeEnvironment.create":"Lokale omgeving maken","composer.worktreeEnvironment.default":"Standaardomgeving","composer.worktreeEnvironment.error":"Fout bij laden van omgevingen","composer.worktreeEnvironment.loading":"Omgevingen laden…","composer.worktreeEnvironment.title":"Lokale omgeving","composer.worktreeEnvironment.tooltip":"Selecteer een lokale omgeving","composer.worktreeSetupFailed":"Het configureren van de worktree is mislukt. Controleer .codex/environments voor een configuratiescript.","compoundButton.secondaryAction":"Secundaire handeling","copyButton.copied":"Gekopieerd","copyButton.copiedAriaLabel":"Gekopieerd","copyButton.copy":"Kopiëren","copyButton.copyAriaLabel":"Kopiëren","copyButton.copyCode":"Code kopiëren","diff.actionButton.revertFile":"Bestand terugdraaien","diff.actionButton.revertHunk":"Terugdraaien","diff.actionButton.revertSection":"Alles terugdraaien","diff.actionButton.revertSectionLabel":"Alles terugdraaien","diff.actionButton.stageFile":"Bestand stagen","diff.actionButton.stageHunk":"Stagen","diff.actionButton.stageSection":"Alles stagen","diff.actionButton.stageSectionLabel":"Alles stagen","diff.actionButton.unstageFile":"Bestand unstagen","diff.actionButton.unstageHunk":"Unstagen","diff.actionButton.unstageSection":"Alles unstagen","diff.actionButton.unstageSectionLabel":"Alles unstagen","diff.fileHeader.toggle":"Bestands-diff omschakelen","electron.onboarding.login.apikey.cancel":"Annuleren","electron.onboarding.login.apikey.continue":"Doorgaan","electron.onboarding.login.apikey.label":"OpenAI API-sleutel","electron.onboarding.login.apikey.open":"API-sleutel invoeren","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Aanmelden annuleren","electron.onboarding.login.chatgpt.continue":"Doorgaan met ChatGPT","electron.onboarding.login.devbox":"Verbinden met een externe SSH","electron.onboarding.login.error":"Aanmelden mislukt: {rawMessage}","electron.onboarding.login.snake.start":"Snake spelen","electron.onboarding.login.sshConfig.cancel":"Annuleren","electron.onboarding.login.sshConfig.continue":"Doorgaan","electron.onboarding.login.sshConfig.hostnameLabel":"SSH-hostnaam","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"De beste manier om te bouwen met agents","electron.onboarding.login.title":"Welkom bij Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Doorgaan","electron.onboarding.welcome.doubleLimits.description":"Om de introductie van de Codex-app te vieren, krijg je een 2 keer zo hoge frequentielimiet tot en met 2 april.","electron.onboarding.welcome.freego.description":"Codex is gratis inbegrepen in je plan tot en met 2 maart. Laten we samen iets bouwen.","electron.onboarding.welcome.new.title.anon":"Welkom!","electron.onboarding.workspace.continue":"Doorgaan","electron.onboarding.workspace.empty":"Voeg een project toe om door te gaan.","electron.onboarding.workspace.listLabel":"Beschikbare projecten","electron.onboarding.workspace.loading":"Projecten laden…","electron.onboarding.workspace.openFolder":"Project toevoegen","electron.onboarding.workspace.selectAll":"Alles selecteren","electron.onboarding.workspace.skip":"Overslaan","electron.onboarding.workspace.skip.error":"Kon geen nieuw project maken: {message}","electron.onboarding.workspace.skip.error.unknown":"Onbekende fout","electron.onboarding.workspace.skipping":"Nieuw project maken…","electron.onboarding.workspace.subtitle":"Codex kan bestanden bewerken en opdrachten uitvoeren in geselecteerde mappen.","electron.onboarding.workspace.title":"Selecteer een project","errorPage.list.checkSettings":"Probeer je IDE-instellingen bij te werken","errorPage.list.configToml":"Controleer je config.toml op ongeldige instellingen","errorPage.list.downloadExtension":"Probeer een andere versie van de extensie te downloaden","errorPage.list.runInWsl":"Controleer je instellingen om het uitvoeren in WSL uit te schakelen als je compatibiliteitsproblemen ondervindt","execApprovalRequest.menu.runAlways":"Ja, en niet opnieuw vragen in deze sessie","execApprovalRequest.menu.runAlwaysWithAmendment":"Ja, en niet meer vragen voor opdrachten die beginnen met {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ja, en niet meer vragen voor opdrachten die beginnen met","execApprovalRequest.menu.runOnce":"Ja","execApprovalRequest.prompt":"Wil je deze opdracht uitvoeren?","execApprovalRequest.reject":"Nee","execFooter.exitCode":"Code {code} afsluiten","execFooter.exitCode.unknown":"onbekend","execFooter.success":"Geslaagd","feedback.dialog.category.badResult":"Slecht resultaat","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Goed resultaat","feedback.dialog.category.other":"Overig","feedback.dialog.descriptionPlaceholder":"Beschrijf het probleem hier","feedback.dialog.dismiss":"Sluiten","feedback.dialog.includeLogsLabel":"Huidige Codex-sessielogboeken opnemen","feedback.dialog.submit":"Verzenden","feedback.dialog.submitError":"We kunnen je feedback niet verzenden. Probeer het over een paar minuten nog eens.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"bestaand open issue","feedback.dialog.uploadedMessage.openIssue":"een GitHub-issue openen","feedback.dialog.uploadedMessage.withThread":"Feedback geüpload. Blijft het probleem bestaan? Dan kun je {openIssueLink} of de draad-ID vermelden in een {existingIssueLink}.","feedback.dialog.uploadedTitle":"Feedback geüpload","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} verwijderen","header.back":"Terug","header.recentChats":"Taken","header.recentTasks.seeAll":"Alle bekijken ({total})","home.header.getPlus":"Abonneer je op Plus","home.hero.letsBuild":"Laten we iets maken","homePage.mainContent":"Hoofdinhoud","imageAttachment.defaultName":"afbeelding","imageAttachment.preview.close":"Voorbeeld van afbeelding sluiten","imageAttachment.removeAriaLabel":"{filename} verwijderen","implementPlanRequest.option.implement":"Ja, implementeer dit plan","implementPlanRequest.prompt":"Dit plan implementeren?","inbox.archived.deleteError":"Kan gearchiveerde run niet verwijderen","inbox.archived.deleteRun":"Gearchiveerde run verwijderen","inbox.archived.deleteSuccess":"Gearchiveerde draad verwijderd. Bekijk deze in <settingsLink>gearchiveerde draden</settingsLink>.","inbox.archived.inlineLabel.auto":"Deze draad is automatisch gearchiveerd. <learnMoreLink>Meer info</learnMoreLink>","inbox.archived.inlineLabel.manual":"Deze draad is gearchiveerd.","inbox.archived.noMessageFound":"Geen bericht gevonden","inbox.automations.createError":"Kon geen automatisering maken","inbox.automations.deleteConfirm.cancel":"Annuleren","inbox.automations.deleteConfirm.confirm":"Automatisering verwijderen","inbox.automations.deleteConfirm.description":"Hierdoor wordt de automatisering permanent verwijderd en worden toekomstige uitvoeringen stopgezet.","inbox.automations.deleteConfirm.title":"{name} verwijderen?","inbox.automations.deleteError":"Kan automatisering niet verwijderen","inbox.automations.editTooltip":"Automatisering bewerken","inbox.automations.inProgress":"Wordt uitgevoerd","inbox.automations.new":"Nieuw","inbox.automations.newToolbar":"Nieuwe automatisering","inbox.automations.pauseTooltip":"Automatisering pauzeren","inbox.automations.resumeTooltip":"Automatisering hervatten","inbox.automations.startingNow":"Wordt nu gestart","inbox.automations.startsIn":"Begint over {startTime}","inbox.automations.status.active":"Actief","inbox.automations.status.paused":"Gepauzeerd","inbox.automations.status.runs":"{count} uitvoeringen","inbox.automations.status.started":"Begonnen {date}","inbox.automations.updateError":"Kan automatisering niet bijwerken","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Alle","inbox.filter.ariaLabel":"Inboxitems filteren","inbox.filter.unread":"Ongelezen","inbox.list.archived":"Gearchiveerd","inbox.list.inProgress":"Wordt uitgevoerd","inbox.list.recent":"Afgerond","inbox.list.upNext":"Ingepland","inbox.mode.automations":"Automatisering","inbox.mode.automations.beta":"Bèta","inbox.noDescription":"Geen beschrijving opgegeven","inbox.openThread":"Draad openen","inbox.rightPanel.emptySubtitle":"Automatiseer werk door ingeplande taken in te stellen","inbox.rightPanel.emptySubtitle.learnMore":"Automatiseer werk door ingeplande draden in te stellen. <link>Meer info</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# actieve automatisering} other {# actieve automatiseringen}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Geen ongelezen automatiseringen","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ongelezen automatisering} other {# ongelezen automatiseringen}}","inbox.rightPanel.emptyTitle":"Geen item geselecteerd","inbox.rightPanel.noThread":"Geen draad voor dit item","inbox.rightPanel.quickStart.header":"Beginnen met een sjabloon","inbox.untitled":"Inbox-item zonder titel","loadingPage.documentationLink":"documentatie","loadingPage.errorDescription":"Codex is gecrasht met de volgende fout:","loadingPage.errorDescription.documentation":"Klik op ‘Opnieuw laden’ om de Codex-extensie opnieuw te starten, of ga naar onze {documentationLink} voor meer hulp.","loadingPage.errorSignal":"Enkele dingen die je kunt proberen:","loadingPage.errorTitle":"Er is een fout opgetreden","loadingPage.openConfigToml":"Config.toml openen","loadingPage.reload":"Opnieuw laden","localConversation.contextCompacted":"Context automatisch gecomprimeerd","localConversation.contextCompacting":"Context wordt automatisch gecomprimeerd","localConversation.forkedFromConversation":"Fork gemaakt vanuit {threadTitle}","localConversation.merge.autoResolve.failed":"Verzoek om automatisch oplossen mislukt: {error}","localConversation.merge.autoResolve.sent":"Verzoek om automatisch oplossen verstuurd","localConversation.merge.autoResolveMerge.missingConversation":"Automatisch oplossen niet mogelijk zonder actief gesprek.","localConversation.merge.autoResolveMerge.request":"De samenvoegingsconflicten automatisch oplossen","localConversation.modelChanged":"Model gewijzigd van {fromModel} in {toModel}.","localConversation.modelChanged.warning.line1":"Midden in een gesprek van model wisselen verslechtert de prestaties.","localConversation.modelChanged.warning.line2":"Context wordt mogelijk automatisch gecomprimeerd.","localConversation.moveThread.createBranch.label":"Branch maken","localConversation.moveToLocal.disabled.loading":"Laden...","localConversation.moveToLocal.modal.continue":"Doorgaan","localConversation.moveToLocal.modal.destinationLabel":"Verplaatsen naar","localConversation.moveToLocal.modal.retry":"Opnieuw proberen","localConversation.moveToWorktree.modal.back":"Terug","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Branch bestaat al.","localConversation.moveToWorktree.modal.branchesError":"Kan branches niet laden","localConversation.moveToWorktree.modal.branchesLoading":"Branches laden…","localConversation.moveToWorktree.modal.branchesRetry":"Opnieuw proberen","localConversation.moveToWorktree.modal.continue":"Doorgaan","localConversation.moveToWorktree.modal.retry":"Opnieuw proberen","localConversation.moveToWorktree.modal.trailingSlashError":"Branchnaam mag niet eindigen op “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nieuwe-branch","localConversation.personalityChanged":"Overgeschakeld op de persoonlijkheid {personality}","localConversation.planSummary.collapse":"Overzicht van plan samenvouwen","localConversation.planSummary.collapseTooltip":"Samenvouwen","localConversation.planSummary.download":"Plan downloaden","localConversation.planSummary.expand":"Overzicht van plan uitvouwen","localConversation.planSummary.expandTooltip":"Uitvouwen","localConversation.planSummary.openInNewWindow":"Openen","localConversation.planSummary.openInNewWindow.tooltip":"Openen in nieuw venster","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Schrijfplan","localConversation.planSummary.viewPlan":"Plan uitvouwen","localConversation.remoteTaskCreated":"{taskLink} gemaakt in Codex Cloud","localConversation.remoteTaskCreated.task":"taak","localConversation.scrollToBottomButton":"Naar eind scrollen","localConversation.sync.buttonLabel":"Overdragen naar lokaal","localConversation.sync.buttonLabel.tooltip":"Draag wijzigingen over tussen deze worktree en je lokale uitgecheckte versie.","localConversation.sync.modal.loading.title":"Wijzigingen overdragen…","localConversation.sync.modal.noChanges":"Geen wijzigingen","localConversation.syncSetup.branchAriaLabel":"Naam branch","localConversation.syncSetup.branchName":"Naam branch","localConversation.syncSetup.branchPlaceholder.existing":"Bestaande branch selecteren","localConversation.syncSetup.branchPlaceholder.new":"codex/nieuwe-functie","localConversation.syncSetup.branchesLoading":"Branches laden…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Al uitgecheckt","localConversation.syncSetup.checkoutClean":"Momenteel op {branchName}","localConversation.syncSetup.checkoutDirty":"Momenteel op {branchName} met niet-vastgelegde wijzigingen","localConversation.syncSetup.checkoutError":"Uitchecken van branch mislukt: {message}","localConversation.syncSetup.checkoutLabel":"Nu lokaal uitchecken","localConversation.syncSetup.checkoutOnLocal":"Overdragen naar lokaal","localConversation.syncSetup.checkoutPending":"Lokale status controleren…","localConversation.syncSetup.checkoutUnavailable":"Lokale werkruimte niet beschikbaar","localConversation.syncSetup.checkoutUnknown":"Lokale branch niet beschikbaar","localConversation.syncSetup.continue":"Doorgaan","localConversation.syncSetup.createBranchError":"Instellen van overdrachtsbranch mislukt: {message}","localConversation.syncSetup.error":"Er is iets verkeerd gegaan: {message}","localConversation.syncSetup.error.workingTreeMissing":"Kon geen momentopname van de worktree maken. Probeer de overdracht opnieuw uit te voeren.","localConversation.syncSetup.mode.ariaLabel":"Branchmodus selecteren","localConversation.syncSetup.mode.existing":"Bestaande branch","localConversation.syncSetup.mode.new":"Nieuwe branch","localConversation.syncSetup.noBranches":"Geen branches gevonden","localConversation.syncSetup.overwriteError":"Branch is gemaakt, maar is nog niet volledig overgedragen. Draag de branch handmatig over voordat je deze lokaal uitcheckt.","localConversation.syncSetup.setPrefix":"Voorvoegsel instellen","localConversation.syncSetup.subtitle":"Test en bewerk worktreewijzigingen lokaal. <a>Meer info</a>","localConversation.syncSetup.success.checkedOut":"Branch is gemaakt en is lokaal uitgecheckt","localConversation.syncSetup.success.notCheckedOut":"Branch gemaakt","localConversation.syncSetup.title":"Overdragen naar een lokale branch","localConversation.syncWorktreeError.branchAriaLabel":"Naam branch","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/nieuwe-functie","localConversation.syncWorktreeError.branchSetup.subtitle":"Kies een branch om naar over te dragen en probeer de wijzigingen opnieuw te laden.","localConversation.syncWorktreeError.branchSetup.title":"Branch bijwerken","localConversation.syncWorktreeError.branchUpdate.cta":"Bijwerken en opnieuw proberen","localConversation.syncWorktreeError.branchUpdate.error":"Bijwerken van branch mislukt: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Er is iets verkeerd gegaan: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Branch is in geen enkele worktree uitgecheckt.","localConversation.syncWorktreeV2.applyUncommitted":"Toepassen","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Je moet de branch lokaal uitchecken om niet-vastgelegde wijzigingen toe te passen","localConversation.syncWorktreeV2.branches.empty":"Geen branches gevonden","localConversation.syncWorktreeV2.branches.loading":"Branches laden…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Overdrachtsbranch wijzigen","localConversation.syncWorktreeV2.changeBranch.error":"Wijzigen van overdrachtsbranch mislukt: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Toepassen mislukt","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Overschrijven van worktree mislukt","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Lokaal overschrijven mislukt","localConversation.syncWorktreeV2.commandError.back":"Terug","localConversation.syncWorktreeV2.commandError.body":"Een Git-opdracht is mislukt tijdens de overdracht. Controleer de uitvoer en probeer het opnieuw.","localConversation.syncWorktreeV2.commandError.retry":"Opnieuw proberen","localConversation.syncWorktreeV2.description":"Wijzigingen overdragen tussen de lokale en deze worktree <a>Meer info</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Richting van overdracht selecteren","localConversation.syncWorktreeV2.error.generic":"Er is iets verkeerd gegaan tijdens de overdracht. Probeer het opnieuw.","localConversation.syncWorktreeV2.localBranchLabel":"Lokaal","localConversation.syncWorktreeV2.noChanges":"Wijzigingen berekenen","localConversation.syncWorktreeV2.noChanges.summary":"Geen wijzigingen","localConversation.syncWorktreeV2.overwrite.local":"Lokale overschrijven","localConversation.syncWorktreeV2.overwrite.worktree":"Worktree overschrijven","localConversation.syncWorktreeV2.partial.action.applyFailed":"Wijzigingen toepassen is niet gelukt","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Kon lokale wijzigingen niet overschrijven","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Kon worktree-wijzigingen niet overschrijven","localConversation.syncWorktreeV2.partial.appliedLabel":"Toegepast","localConversation.syncWorktreeV2.partial.back":"Terug","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Los de conflicten op en probeer het opnieuw.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflicten","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# bestand} other {# bestanden}}","localConversation.syncWorktreeV2.partial.retry":"Opnieuw proberen","localConversation.syncWorktreeV2.partial.skippedLabel":"Overgeslagen","localConversation.syncWorktreeV2.stateFailed.generic":"Er is iets misgegaan tijdens het ophalen van de worktreewijzigingen om over te dragen. Probeer het opnieuw.","localConversation.syncWorktreeV2.stateFailed.title":"Laden van worktree-wijzigingen mislukt","localConversation.syncWorktreeV2.statusError.diffUnknown":"Laden van worktree-wijzigingen mislukt.","localConversation.syncWorktreeV2.statusError.retry":"Opnieuw proberen","localConversation.syncWorktreeV2.statusError.title":"Kan wijzigingen aan lokale branch niet laden","localConversation.syncWorktreeV2.statusError.unknown":"Status van branch is nu niet beschikbaar. Probeer het opnieuw.","localConversation.syncWorktreeV2.success.apply":"Wijzigingen toegepast","localConversation.syncWorktreeV2.success.overwrite":"Overdracht succesvol","localConversation.syncWorktreeV2.title":"Wijzigingen overdragen","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Stelt {count, plural, one {vraag} other {vragen}}","localConversation.userInputRequest.noAnswer":"Geen antwoord gegeven","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Stelde","localConversation.userInputRequest.summary.count":"{count, plural, one {# vraag} other {# vragen}}","localConversation.workedFor":"Gewerkt gedurende {time}","localConversation.worktreeBranchSetup.action.create":"Maken","localConversation.worktreeBranchSetup.branchAriaLabel":"Naam branch","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Maak een nieuwe branch","localConversation.worktreeBranchSetup.checkoutDisabled":"Deze branch is al uitgecheckt op {location}","localConversation.worktreeBranchSetup.checkoutError":"Uitchecken van branch mislukt: {message}","localConversation.worktreeBranchSetup.createBranchError":"Instellen van branch mislukt: {message}","localConversation.worktreeBranchSetup.error":"Er is iets verkeerd gegaan: {message}","localConversation.worktreeBranchSetup.subtitle":"Maak een branch om wijzigingen te committen en maak een PR via deze worktree. <a>Meer info</a>","localConversation.worktreeBranchSetup.title":"Werk hier","localConversationPage.addWorktreeToSidebar.tooltip":"Opslaan als project, zodat je nieuwe draden kunt starten vanuit deze worktree","localConversationPage.addWorktreeToSidebarError":"Toevoegen van project mislukt","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit en maken van PR mislukt","localConversationPage.commitAndCreatePrModal.successTitle":"Gecommit en PR gemaakt","localConversationPage.commitAndPushModal.errorTitle":"Commit en push mislukt","localConversationPage.commitAndPushModal.successTitle":"Gecommit en wijzigingen gepusht","localConversationPage.commitCreatePr.open":"Pull request openen","localConversationPage.commitCreatePr.successTitle":"PR gemaakt met je nieuwste wijzigingen","localConversationPage.createBranchButtonLabel":"Branch hier","localConversationPage.createPrModal.baseBranch":"Basis","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR maken","localConversationPage.createPrModal.createDescription":"Open een pull request voor je nieuwste wijzigingen.","localConversationPage.createPrModal.errorTitle":"Pull request mislukt","localConversationPage.createPrModal.headBranch":"Kop","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR openen","localConversationPage.createPrModal.successTitle":"Pull request gemaakt","localConversationPage.createPrModal.title":"Pull request maken","localConversationPage.createPrModal.viewDescription":"Voor deze branch bestaat al een pull request.","localConversationPage.createPrModal.viewTitle":"Pull request gereed","localConversationPage.createPullRequestAuthGh":"GitHub CLI authenticeren: voer `gh auth login` uit","localConversationPage.createPullRequestBranchMissing":"Branch-informatie niet beschikbaar","localConversationPage.createPullRequestButtonLabel":"PR maken","localConversationPage.createPullRequestButtonLabel.loading":"PR maken…","localConversationPage.createPullRequestDefaultBranchMissing":"Informatie over standaardbranch niet beschikbaar","localConversationPage.createPullRequestError":"Pull request maken mislukt","localConversationPage.createPullRequestExistingPullRequest":"Voor deze branch bestaat al een pull request","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI-status laden…","localConversationPage.createPullRequestInstallGh":"Installeer GitHub CLI (gh) om PR's te maken","localConversationPage.createPullRequestNoRepo":"Geen git-repository gevonden","localConversationPage.createPullRequestPushStatusMissing":"Pushstatus laden...","localConversationPage.createPullRequestSetUpstream":"Push deze branch voordat je een PR maakt","localConversationPage.createPullRequestSuccessToast":"Pull request gemaakt","localConversationPage.createPullRequestSwitchBranch":"Check een featurebranch uit voordat je een PR maakt","localConversationPage.error.render":"Fout bij weergeven van lokaal gesprek","localConversationPage.error.toast":"Gesprek niet gevonden","localConversationPage.forcePushError":"Push afdwingen mislukt","localConversationPage.generatePullRequestMessageError":"Genereren van titel en berichtinhoud van pull request mislukt","localConversationPage.generatePullRequestMessageFailed":"Genereren van titel en berichtinhoud van pull request mislukt.","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Annuleren","localConversationPage.gitActionResult.close":"Sluiten","localConversationPage.gitActionResult.tryAgain":"Opnieuw proberen","localConversationPage.gitActions":"Git-handelingen","localConversationPage.newChat":"Nieuwe chat","localConversationPage.openInTarget":"Openen in","localConversationPage.openPrimaryTarget":"Openen","localConversationPage.planItemsCompleted":"{completedItems} van {totalItems, plural, one {# taak voltooid} other {# taken voltooid}}","localConversationPage.pushAuthError":"Push mislukt: authenticatie vereist","localConversationPage.pushBranchMissing":"Branch-informatie niet beschikbaar","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Pushen…","localConversationPage.pushError":"Wijzigingen pushen mislukt","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Annuleren","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Push je nieuwste commits naar de externe repository.","localConversationPage.pushModal.errorTitle":"Push mislukt","localConversationPage.pushModal.forcePush":"Push afdwingen","localConversationPage.pushModal.successTitle":"Push afgerond","localConversationPage.pushModal.title":"Pushwijzigingen","localConversationPage.pushModal.tryAgain":"Opnieuw proberen","localConversationPage.pushNoUpstream":"Stel een upstream in voordat je deze branch pusht","localConversationPage.pushNoUpstreamError":"Push mislukt: geen upstream geconfigureerd","localConversationPage.pushNothingToPush":"Geen nieuwe commits om te pushen","localConversationPage.pushRemoteChangedError":"Push mislukt: externe versie heeft nieuwe commits","localConversationPage.pushRemoteRejectedError":"Push afgewezen door externe versie","localConversationPage.pushStatusMissing":"Pushstatus laden…","localConversationPage.pushSuccessToast":"Wijzigingen gepusht","localConversationPage.viewPullRequestButtonLabel":"PR bekijken","localConversationPage.viewPullRequestButtonLabel.loading":"Pull request laden…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# bestand} other {# bestanden}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lijst} other {# lijsten}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# zoekopdracht} other {# zoekopdrachten}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Aan het verkennen","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Heeft verkend","localConversationTurn.exploration.accordion.header.complete.withCounts":"Heeft {counts} verkend","localConversationTurnStory.showContent":"Inhoud weergeven","localConversationTurnStory.streamContent":"Inhoud streamen","localConversationTurnStory.toggleReasoning":"Redenering weergeven","localTaskRow.archiveError":"Gesprek archiveren mislukt","localTaskRow.resumeError":"Taak hervatten mislukt","mermaidDiagram.ariaLabel":"Mermaid-diagram","mermaidDiagram.copySource":"Mermaid kopiëren","mermaidDiagram.originalCode":"Mermaid-broncode","notifications.permissions.description":"Waarschuwingen weergeven als machtigingen voor meldingen verplicht zijn","notifications.permissions.label":"Meldingen over toestemming inschakelen","notifications.turnMode.always":"Altijd","notifications.turnMode.description":"Instellen wanneer Codex je waarschuwt dat het gereed is","notifications.turnMode.label":"Meldingen over beurtvoltooiing","notifications.turnMode.off":"Nooit","notifications.turnMode.unfocused":"Alleen als app niet in focus is","patchApprovalRequest.approve":"Goedkeuren","patchApprovalRequest.menu.allowAlways":"Ja, en niet opnieuw vragen in deze sessie","patchApprovalRequest.menu.allowForSession":"Ja, en niet opnieuw vragen in deze sessie","patchApprovalRequest.menu.allowOnce":"Ja","patchApprovalRequest.prompt":"Wil je deze wijzigingen aanbrengen?","patchApprovalRequest.reject":"Nee","patchApprovalRequest.waitingForApproval":"Wachtend op goedkeuring om bestanden te bewerken","pendingRequest.approvalExec.collapse":"Samenvouwen","pendingRequest.approvalExec.expand":"Uitvouwen","pendingRequestStory.toastAnswer":"Antwoord: {answer}","pendingRequestStory.toastApprovalTitle":"Reactie op goedkeuring","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Opvolgbericht verstuurd","pendingRequestStory.toastNoAnswers":"Geen antwoorden gegeven","pendingRequestStory.toastQuestion":"Vraag: {question}","pendingRequestStory.toastUnknownDecision":"Onbekend","pendingRequestStory.toastUserInputTitle":"Ingezonden antwoorden","quickAction.request.codeReview.branches.new":"Beoordeel wijzigingen in {from} ten opzichte van {to}","quickAction.request.codeReview.uncommitted.new":"Beoordeel mijn niet-vastgelegde wijzigingen","reasoningItem.thinking":"Denkt na","reasoningItem.thought":"Nagedacht","reasoningItem.thoughtWithElapsed":"Nagedacht gedurende {elapsed}","recentConversations.title":"Recente gesprekken","recentTasks.worktreeInitFailedTitle":"Worktree init mislukt","recentTasks.worktreeSettingUpTitle":"Worktree instellen","requestInputPanel.continue":"Doorgaan","requestInputPanel.dismiss":"Sluiten","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Typ hier","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nee, en Codex vertellen wat het anders moet doen","requestInputPanel.selectedBadge":"Geselecteerd","requestInputPanel.skip":"Overslaan","requestInputPanel.submit":"Verzenden","review.commit.ariaLabel.includeUnstaged":"Inclusief unstaged","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Committen...","review.commit.disabled.loadingDiff":"Diff laden…","review.commit.disabled.missingContext":"Voeg wat context toe om een commit-bericht te genereren.","review.commit.disabled.noChanges":"Geen wijzigingen om te committen","review.commit.disabled.noSelection":"Selecteer wijzigingen om te committen","review.commit.disabled.unavailable":"Committen is nu niet beschikbaar","review.commit.error":"Wijzigingen committen mislukt","review.commit.form.changesToBeCommitted":"Wijzigingen","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Doorgaan","review.commit.form.title":"Commit je wijzigingen","review.commit.generate.emptyResponse":"Kon geen commit-bericht genereren.","review.commit.generate.failed":"Genereren van commit-bericht mislukt: {error}","review.commit.generate.missingPrompt":"Voeg wat context toe om een commit-bericht te genereren.","review.commit.includeUnstaged":"Inclusief unstaged","review.commit.loading.description":"Even geduld, dit kan enkele ogenblikken duren…","review.commit.loading.step.commit.done":"Gecommitte wijzigingen","review.commit.loading.step.commit.pending":"Wijzigingen worden gecommit","review.commit.loading.step.createPr.done":"Pull request gemaakt","review.commit.loading.step.createPr.pending":"Pull request wordt gemaakt","review.commit.loading.step.push.done":"Gepusht naar branch {branch}","review.commit.loading.step.push.pending":"Pushen naar branch {branch}","review.commit.loading.title.commit":"Wijzigingen worden gecommit","review.commit.loading.title.createPr":"PR wordt gemaakt","review.commit.loading.title.push":"Wijzigingen pushen","review.commit.messageLabel":"Commit-bericht","review.commit.messagePlaceholder":"Laat leeg om een commit-bericht automatisch te genereren","review.commit.nextSteps":"Volgende stappen","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit en PR maken","review.commit.nextSteps.commitAndPush":"Commit en push","review.commit.nextSteps.prRequiresGh":"Vereist GitHub CLI: {command}","review.commit.rows.changes":"Wijzigingen","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# commits}} en {stats}","review.commit.rows.fileCount":"{count, plural, one {# bestand} other {# bestanden}}","review.commit.state.error.body":"Er is iets verkeerd gegaan tijdens het committen. Controleer je gitstatus en probeer het opnieuw.","review.commit.state.error.title":"Commit mislukt","review.commit.state.success.title":"Wijzigingen gecommit","review.commit.untracked.loadingStats":"Niet gevolgde diff-statistieken laden…","reviewFindingAttachments.count":"{count, plural, one {# resultaat} other {# resultaten}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Bewerk je config om het gedrag van de agent aan te passen","settings.agent.configuration.configToml.docs":"Documenten","settings.agent.configuration.subtitle":"Deze instellingen zijn overal van toepassing waar Codex wordt gebruikt.","settings.automations.banner.danger":"Automatiseringen worden uitgevoerd met je standaard sandbox-instellingen, die momenteel zijn ingesteld op volledige toegang. Het op de achtergrond uitvoeren van automatiseringen met volledige toegang brengt een verhoogd risico met zich mee, omdat Codex dan zonder te vragen bestanden kan bewerken, opdrachten kan uitvoeren en netwerktoegang kan gebruiken. Overweeg je sandbox-instellingen bij te werken naar schrijfrechten voor de werkruimte en met behulp van <rulesDocsLink>regels</rulesDocsLink> selectief te definiëren welke opdrachten de agent met volledige toegang kan uitvoeren.","settings.automations.banner.defaultHowTo.default":"Automatiseringen worden uitgevoerd met je standaard sandbox-instellingen. Toolaanroepen mislukken als daarvoor bestanden moeten worden bewerkt buiten de werkruimte, als er netwerktoegang nodig is of als ze met apps op je computer moeten werken. Je kunt selectief toestaan dat opdrachten buiten de sandbox worden uitgevoerd met behulp van <rulesDocsLink>regels</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatiseringen worden uitgevoerd met je standaard sandbox-instellingen, die zijn ingesteld op alleen-lezen. Toolaanroepen mislukken als daarvoor bestanden moeten worden bewerkt buiten de werkruimte, als er netwerktoegang nodig is of als ze met apps op je computer moeten werken. Wijzig de sandbox-instellingen zo nodig in schrijfrechten voor de werkruimte.","settings.automations.cancel":"Annuleren","settings.automations.create":"Maken","settings.automations.cwdEmpty":"Geen projectmappen beschikbaar","settings.automations.cwdLabel":"Projecten","settings.automations.cwdPlaceholder":"Kies een map","settings.automations.cwdSubtitle":"Als je een automatisering op een specifieke branch wilt uitvoeren, kun je dat specificeren in je prompt.","settings.automations.delete":"Verwijderen","settings.automations.dialog.editTitle":"Automatisering bewerken","settings.automations.dialog.newTitle":"Nieuwe automatisering","settings.automations.dialog.subtitle":"Automatiseer terugkerende taken op de achtergrond. Codex stuurt resultaten naar de inbox of archiveert de taak automatisch als er niets te melden is. <learnMoreLink>Meer info</learnMoreLink>","settings.automations.dialog.title":"Automatisering maken","settings.automations.executionCopy.git":"Automatiseringen worden op de achtergrond uitgevoerd in speciale worktrees.","settings.automations.executionCopy.nonGit":"Automatiseringen in projecten zonder versiecontrole worden rechtstreeks in de projectmap uitgevoerd. Je kunt Git gebruiken om uitvoering in worktrees op de achtergrond mogelijk te maken.","settings.automations.executionEnvironment.local":"Lokaal","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Laden...","settings.automations.nameLabel":"Naam","settings.automations.namePlaceholder":"Controleer op problemen in Sentry","settings.automations.pause":"Pauzeren","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"zoek crashes in $Sentry","settings.automations.resume":"Hervatten","settings.automations.rruleSummaryFallback":"Aangepast schema","settings.automations.runNow":"Testen","settings.automations.save":"Opslaan","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} u","settings.automations.scheduleBadge.weekdays":"Werkdagen","settings.automations.scheduleBadge.weekends":"Weekenden","settings.automations.scheduleHeader":"Inplannen","settings.automations.scheduleHours":"uur","settings.automations.scheduleLabel":"Uitvoeren: elk(e)","settings.automations.scheduleMode.daily":"Dagelijks","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Type schema","settings.automations.scheduleSummary.daily":"Dagelijks om {time}","settings.automations.scheduleSummary.interval":"Elke {count} uur","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dag} other {# dagen}}","settings.automations.scheduleSummary.intervalDays":"{interval} op {days}","settings.automations.scheduleSummary.intervalHourly":"Elk uur","settings.automations.scheduleSummary.singleDay":"{day} om {time}","settings.automations.scheduleSummary.weekdays":"Werkdagen om {time}","settings.automations.scheduleSummary.weekdaysLabel":"werkdagen","settings.automations.scheduleSummary.weekends":"Weekenden om {time}","settings.automations.scheduleSummary.weekendsLabel":"weekenden","settings.automations.scheduleSummary.weekly":"{days} om {time}","settings.automations.scheduleWeekdays":"Aan","settings.automations.weekdayState.excluded":"Uitgesloten","settings.automations.weekdayState.included":"Inbegrepen","settings.conversationDetail.steps":"Stappen","settings.conversationDetail.steps.description":"Opdrachten en uitvoer verbergen","settings.conversationDetail.stepsWithCommands":"Stappen met code-opdrachten","settings.conversationDetail.stepsWithCommands.description":"Opdrachten weergeven, uitvoer samenvouwen","settings.conversationDetail.stepsWithOutput":"Stappen met code-uitvoer","settings.conversationDetail.stepsWithOutput.description":"Opdrachten weergeven, uitvoer uitvouwen","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Geen gearchiveerde chats.","settings.dataControls.archivedChats.error":"Kon gearchiveerde chats niet laden.","settings.dataControls.archivedChats.loading":"Gearchiveerde chats laden…","settings.dataControls.archivedChats.unarchive":"Dearchiveren","settings.dataControls.archivedChats.unarchiveError":"Dearchiveren van chat mislukt","settings.dataControls.archivedChats.unarchiveSuccess":"Gedearchiveerde draad. <viewNowLink>Nu bekijken</viewNowLink>","settings.dataControls.archivedChats.untitled":"Chat zonder titel","settings.editRow.headerPlaceholder":"Sleutel","settings.editRow.removeEntry":"Vermelding verwijderen","settings.editRow.valuePlaceholder":"Waarde","settings.general.appearance":"Vormgeving","settings.general.appearance.codeFont":"Lettertype van code","settings.general.appearance.codeFont.description":"Pas het lettertype en de tekengrootte aan voor code in chats en diffs","settings.general.appearance.codeFontFamily":"Lettertypefamilie van code","settings.general.appearance.codeFontSize":"Tekengrootte van code","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Zorg dat voor vensters een effen achtergrond wordt gebruikt in plaats van de doorschijnende optie van het systeem","settings.general.appearance.opaqueWindows.label":"Ondoorschijnende achtergrond gebruiken voor vensters","settings.general.appearance.sansFontFamily":"Sans-lettertypefamilie","settings.general.appearance.sansFontFamily.description":"Wijzig het lettertype dat wordt gebruikt voor de Codex-gebruikersinterface","settings.general.appearance.sansFontSize":"Grootte van schreefloos lettertype","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Feesteffecten in volledig scherm weergeven terwijl GPT-5.3-Codex-Spark de eerste beurt uitvoert","settings.general.appearance.sparkCelebrationEffects.label":"Feesteffecten van Spark","settings.general.appearance.theme":"Thema","settings.general.appearance.theme.dark":"Donker","settings.general.appearance.theme.description":"Gebruik licht, donker of gelijk aan systeem","settings.general.appearance.theme.light":"Licht","settings.general.appearance.theme.system":"Systeem","settings.general.appearance.usePointerCursors.description":"Wijzig de cursor in een aanwijzer als deze over interactieve elementen wordt bewogen","settings.general.appearance.usePointerCursors.label":"Aanwijscursors gebruiken","settings.general.enterBehavior.description":"Als dit is ingeschakeld, moet je voor prompts met meerdere regels {modifierSymbol} + enter gebruiken om ze te versturen.","settings.general.enterBehavior.label":"{modifierSymbol} + enter vereist om lange prompts te versturen","settings.general.experimentalFeatures":"Experimentele functies (bèta)","settings.general.experimentalFeatures.empty":"Er zijn geen experimentele bètafuncties beschikbaar.","settings.general.experimentalFeatures.loading":"Experimentele functies worden geladen…","settings.general.experimentalFeatures.restartNote":"Start Codex opnieuw om wijzigingen in experimentele functies toe te passen.","settings.general.experimentalFeatures.toggle":"{featureName} omschakelen","settings.general.followUpQueueMode.description":"Zet follow-ups in de wachtrij terwijl Codex actief is, of onderbreek de huidige uitvoering","settings.general.followUpQueueMode.interrupt":"Bijsturen","settings.general.followUpQueueMode.label":"Follow-upgedrag","settings.general.followUpQueueMode.queue":"Wachtrij","settings.general.notifications":"Meldingen","settings.general.power.preventSleepWhileRunning.description":"Houd je computer uit de slaapstand terwijl Codex een draad uitvoert.","settings.general.power.preventSleepWhileRunning.label":"Slaapstand voorkomen tijdens uitvoering","settings.git.branchPrefix.ariaLabel":"Branch-voorvoegsel","settings.git.branchPrefix.description":"Voorvoegsel dat wordt gebruikt bij het maken van nieuwe branches in Codex","settings.git.branchPrefix.label":"Branch-voorvoegsel","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Opslaan van branch-voorvoegsel mislukt","settings.git.branchPrefix.save.success":"Branch-voorvoegsel opgeslagen","settings.git.commitInstructions.ariaLabel":"Commit-instructies","settings.git.commitInstructions.description":"Toegevoegd aan prompts voor het genereren van commit-berichten","settings.git.commitInstructions.label":"Commit-instructies","settings.git.commitInstructions.placeholder":"Voeg richtlijnen voor commit-berichten toe…","settings.git.commitInstructions.save":"Opslaan","settings.git.commitInstructions.save.error":"Opslaan van commit-instructies mislukt","settings.git.commitInstructions.save.success":"Commit-instructies opgeslagen","settings.git.forcePush.ariaLabel":"Altijd push afdwingen","settings.git.forcePush.description":"Gebruik --force-with-lease als je vanuit Codex pusht","settings.git.forcePush.label":"Altijd push afdwingen","settings.git.forcePush.save.disabled":"Altijd push afdwingen uitgeschakeld","settings.git.forcePush.save.enabled":"Altijd push afdwingen ingeschakeld","settings.git.forcePush.save.error":"Opslaan van instelling voor push afdwingen mislukt","settings.git.prInstructions.ariaLabel":"Pull request-instructies","settings.git.prInstructions.description":"Worden toegevoegd aan door Codex opgestelde berichtinhoud voor pull requests","settings.git.prInstructions.label":"Pull request-instructies","settings.git.prInstructions.placeholder":"Voeg richtlijnen voor pull requests toe…","settings.git.prInstructions.save":"Opslaan","settings.git.prInstructions.save.error":"Pull request-instructies opslaan mislukt","settings.git.prInstructions.save.success":"Pull request-instructies opgeslagen","settings.ide.defaultOpenTarget.description":"Waar bestanden en mappen standaard worden geopend","settings.ide.defaultOpenTarget.label":"Standaardbestemming voor openen","settings.ide.defaultOpenTarget.placeholder":"Geen doelen gevonden","settings.ide.language.auto":"Automatisch detecteren","settings.ide.language.autoOption":"Automatisch detecteren","settings.ide.language.description":"Taal voor de gebruikersinterface van de app","settings.ide.language.label":"Taal","settings.ide.language.search":"Talen zoeken","settings.layout.actionButton":"Extensie herstarten","settings.layout.actionTitle":"Instellingen met handeling ","settings.layout.fullWidthTitle":"Instellingen (volledige breedte)","settings.layout.title":"Instellingen","settings.localEnvironments.actions.add":"Handeling toevoegen","settings.localEnvironments.actions.add.description":"Maak een nieuwe opdracht om uit te voeren vanaf de taakbalk.","settings.localEnvironments.actions.add.save":"Opslaan","settings.localEnvironments.actions.empty":"Voeg een handeling toe om opdrachten uit te voeren vanaf de lokale werkbalk.","settings.localEnvironments.actions.icon.debug":"Fouten oplossen","settings.localEnvironments.actions.icon.run":"Uitvoeren","settings.localEnvironments.actions.icon.test":"Testen","settings.localEnvironments.actions.icon.tool":"Tool","settings.localEnvironments.actions.item.button.delete":"Verwijderen","settings.localEnvironments.actions.item.command":"Handelingsscript","settings.localEnvironments.actions.item.name":"Naam","settings.localEnvironments.actions.item.platforms":"Platforms","settings.localEnvironments.actions.item.platforms.help":"Alleen uitvoeren in een specifiek besturingssysteem.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Platformselectie","settings.localEnvironments.actions.item.platforms.specific":"Platformspecifiek","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Verwijderen","settings.localEnvironments.actions.title":"Handelingen","settings.localEnvironments.breadcrumb.back":"Terug","settings.localEnvironments.breadcrumb.edit":"bewerken","settings.localEnvironments.breadcrumb.root":"Omgevingen","settings.localEnvironments.environment.actions.description":"Met deze handelingen kun je elke opdracht uitvoeren. Ze worden weergegeven in de header.","settings.localEnvironments.environment.actionsLabel":"Handelingen","settings.localEnvironments.environment.create":"Lokale omgeving maken","settings.localEnvironments.environment.defaultName":"lokaal","settings.localEnvironments.environment.edit":"Lokale omgeving bewerken","settings.localEnvironments.environment.empty":"Er is nog geen lokale omgeving geconfigureerd voor dit project.","settings.localEnvironments.environment.name":"Naam","settings.localEnvironments.environment.setup":"Configuratiescript","settings.localEnvironments.environment.setup.description":"Dit script wordt uitgevoerd bij het maken van een worktree.","settings.localEnvironments.environment.setup.hint":"Wordt uitgevoerd in de projectroot.","settings.localEnvironments.environment.setup.platformOverrides":"Platformoverschrijvingen","settings.localEnvironments.environment.setup.platformOverrides.add":"Configuratiescript voor {platform} toevoegen","settings.localEnvironments.environment.setup.platformOverrides.description":"Wordt gebruikt in plaats van het standaardscript voor specifieke besturingssystemen.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Verwijderen","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Omgevingsdetails","settings.localEnvironments.file.missing":"Sla op om dit bestand voor het eerst aan te maken.","settings.localEnvironments.file.parseError":"Het bestaande bestand kon niet worden geparseerd. Als je het opslaat, wordt het overgeschreven. ({error})","settings.localEnvironments.file.path":"Bestand: {path}","settings.localEnvironments.file.readError":"Kan gegevens van lokale omgeving niet laden. ({error})","settings.localEnvironments.file.title":"Bestand in lokale omgeving","settings.localEnvironments.loading.body":"Je projectconfiguratie wordt opgehaald.","settings.localEnvironments.loading.title":"Lokale omgevingen laden","settings.localEnvironments.preview.devOnly":"(Alleen ontwikkelaars)","settings.localEnvironments.preview.save":"Opslaan","settings.localEnvironments.preview.saveError":"Opslaan van bestand is mislukt. ({error})","settings.localEnvironments.preview.title":"Voorbeeld","settings.localEnvironments.save.disabled.name":"Voeg een omgevingsnaam toe om op te slaan.","settings.localEnvironments.save.disabled.noChanges":"Geen wijzigingen om op te slaan.","settings.localEnvironments.save.disabled.saving":"Opslaan...","settings.localEnvironments.save.success":"Lokale omgeving opgeslagen","settings.localEnvironments.unavailable.body":"We konden de instellingen voor de lokale omgeving niet laden voor dit project.","settings.localEnvironments.unavailable.title":"Lokale omgevingen niet beschikbaar","settings.localEnvironments.workspace.add":"Project toevoegen","settings.localEnvironments.workspace.title":"Project","settings.localEnvironments.workspaceSelect.addLabel":"Omgeving toevoegen","settings.localEnvironments.workspaceSelect.description":"Met lokale omgevingen kun je Codex vertellen hoe worktrees voor een project moeten worden ingesteld. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Nog geen projecten. Voeg er een toe om lokale omgevingen te configureren.","settings.localEnvironments.workspaceSelect.errorLabel":"Omgeving heeft aandacht nodig","settings.localEnvironments.workspaceSelect.learnMore":"Meer info","settings.localEnvironments.workspaceSelect.listLabel":"Beschikbare projecten","settings.localEnvironments.workspaceSelect.loading":"Projecten laden...","settings.localEnvironments.workspaceSelect.loadingLabel":"Omgeving laden","settings.localEnvironments.workspaceSelect.title":"Selecteer een project","settings.localEnvironments.workspaceSelect.viewAction":"Weergeven","settings.mcp.addServer":"Server toevoegen","settings.mcp.app.configure":"Configureren","settings.mcp.app.connect":"Verbinden","settings.mcp.apps.refresh":"Vernieuwen","settings.mcp.detail.addArgument":"Argument toevoegen","settings.mcp.detail.addEnvVar":"Omgevingsvariabele toevoegen","settings.mcp.detail.addEnvVarPassthrough":"Variabele toevoegen","settings.mcp.detail.args":"Argumenten","settings.mcp.detail.back":"Terug","settings.mcp.detail.command":"Opdracht om op te starten","settings.mcp.detail.cwd":"Werkmap","settings.mcp.detail.docs":"MCP-documentatie openen","settings.mcp.detail.docs.link":"Documenten","settings.mcp.detail.envVarPassthrough":"Doorgifte van omgevingsvariabele","settings.mcp.detail.envVars":"Omgevingsvariabelen","settings.mcp.detail.http.addEnvHeader":"Variabele toevoegen","settings.mcp.detail.http.addHeader":"Header toevoegen","settings.mcp.detail.http.bearerToken":"Bearer token env var","settings.mcp.detail.http.envHeaders":"Headers uit omgevingsvariabelen","settings.mcp.detail.http.headers":"Headers","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Naam","settings.mcp.detail.save":"Opslaan","settings.mcp.detail.switchTransportNotice":"Als je van MCP-servertype wilt wisselen, de-installeer dan eerst.","settings.mcp.detail.titleExisting":"{name}-MCP bijwerken","settings.mcp.detail.titleNew":"Verbinden met een aangepaste MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"De-installeren","settings.mcp.empty":"Geen aangepaste MCP-servers verbonden","settings.mcp.myServers":"Aangepaste servers","settings.mcp.partnerServer.description.figma":"Genereer betere code door de volledige Figma-context toe te voegen","settings.mcp.partnerServer.description.github":"Integreer met GitHub API's om workflows te automatiseren en gegevens te extraheren","settings.mcp.partnerServer.description.linear":"Integreer met probleemtracking en projectmanagement in Linear","settings.mcp.partnerServer.description.notion":"Lees documenten, werk pagina's bij en beheer taken","settings.mcp.partnerServer.description.playwright":"Integreer browserautomatisering om ontwerpen te implementeren en UI's te testen.","settings.mcp.partnerServer.install":"Installeren","settings.mcp.partnerServer.installAndAuthenticate":"Installeren en authenticeren","settings.mcp.partnerServer.logoAlt":"{label}-logo","settings.mcp.partnerServer.manage":"Beheren","settings.mcp.partnerServer.vendor":"door {vendor}","settings.mcp.recommendedServers":"Aanbevolen servers","settings.mcp.restartApp":"Herstarten","settings.mcp.restartExtension":"Extensie herstarten","settings.mcp.server.enable":"Inschakelen","settings.mcp.server.login":"Authenticeren","settings.mcp.server.settings":"Instellingen","settings.multiselect.createOption":'"{value}" maken',"settings.multiselect.removeOption":"Verwijderen","settings.nav.account":"Account","settings.nav.agent":"Configuratie","settings.nav.ariaLabel":"Instellingen","settings.nav.back":"Terug naar app","settings.nav.data-controls":"Gearchiveerde draden","settings.nav.environments":"Cloudomgevingen","settings.nav.externalTooltip":"[alpha] Opent in browser","settings.nav.general-settings":"Algemeen","settings.nav.git-settings":"Git","settings.nav.local-environments":"Omgevingen","settings.nav.mcp-settings":"MCP-servers","settings.nav.notImplemented":"[alpha] Niet beschikbaar in Alpha","settings.nav.personalization":"Personalisatie","settings.nav.skills-settings":"Vaardigheden","settings.nav.usage-analytics":"Gebruik en analyse","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Terug","settings.openSourceLicenses.loading":"Laden...","settings.openSourceLicenses.missing":"Geen kennisgevingen van derden gevonden.","settings.openSourceLicenses.notSupported":"Niet beschikbaar in deze host.","settings.openSourceLicenses.rowDescription":"Kennisgevingen van derden voor gebundelde afhankelijkheden","settings.openSourceLicenses.rowLabel":"Opensourcelicenties","settings.openSourceLicenses.subtitle":"Kennisgevingen van derden voor in deze app opgenomen afhankelijkheden","settings.openSourceLicenses.title":"Opensourcelicenties","settings.openSourceLicenses.view":"Bekijken","settings.personalization.agents.description":"Bewerk de instructies waarmee je Codex op jou afstemt. {learnMore}","settings.personalization.agents.learnMore":"Meer info","settings.personalization.agents.loadError":"Bestand agents.md kan niet worden geladen.","settings.personalization.agents.loading":"Agents.md laden...","settings.personalization.agents.placeholder":"Voeg je aangepaste instructies toe…","settings.personalization.agents.retry":"Opnieuw proberen","settings.personalization.agents.save":"Opslaan","settings.personalization.agents.save.error":"Bestand agents.md kan niet worden opgeslagen","settings.personalization.agents.save.success":"Agents.md opgeslagen","settings.personalization.agents.title":"Aangepaste instructies","settings.personalization.personality.description":"Kies een standaardtoon voor reacties van Codex","settings.personalization.personality.label":"Persoonlijkheid","settings.sample.contentBody":"Gebruik deze indeling om je instellingenpanelen met consistente tussenruimtes samen te stellen.","settings.sample.contentTitle":"Voorbeeld inhoudsblok","settings.section.account":"Account","settings.section.agent":"Configuratie","settings.section.data-controls":"Gearchiveerde draden","settings.section.environments":"Cloudomgevingen","settings.section.external":"Wordt geopend in je browser tijdens Alpha","settings.section.general-settings":"Algemeen","settings.section.git-settings":"Git","settings.section.local-environments":"Omgevingen","settings.section.mcp-settings":"MCP-servers","settings.section.mcp-settings.docs":"Documenten","settings.section.mcp-settings.subtitle":"Verbind externe tools en gegevensbronnen.","settings.section.personalization":"Personalisatie","settings.section.skills-settings":"Vaardigheden","settings.section.unavailable":"Nog niet beschikbaar in Alpha","settings.section.usage-analytics":"Gebruik en analyse","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"Kies hoeveel opdrachtenuitvoer wordt weergegeven in draden","settings.threadDetail.label":"Detail van draden","settings.worktrees.conversation.untitled":"Naamloos gesprek","settings.worktrees.delete.error":"Verwijderen van worktree mislukt","settings.worktrees.empty.body":"Door Codex gemaakte worktrees worden hier weergegeven.","settings.worktrees.empty.title":"Nog geen worktrees","settings.worktrees.error.body":"Er is iets verkeerd gegaan tijdens het laden van worktrees.","settings.worktrees.error.retry":"Opnieuw proberen","settings.worktrees.error.title":"Worktrees kunnen niet worden geladen","settings.worktrees.loading.body":"Gegevens van worktree worden opgehaald.","settings.worktrees.loading.title":"Worktrees laden","settings.worktrees.repository.loading":"Metagegevens van repository worden geladen…","settings.worktrees.repository.unknown":"Onbekende repository","settings.worktrees.row.conversations":"Gesprekken","settings.worktrees.row.conversations.empty":"Geen gesprekken gekoppeld aan deze worktree.","settings.worktrees.row.conversations.loading":"Gesprekken laden…","settings.worktrees.row.delete":"Verwijderen","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Nieuw project toevoegen","sidebarElectron.archiveThread":"Draad archiveren","sidebarElectron.archiveThreadError":"Archiveren van draad mislukt","sidebarElectron.collapseFolder":"Map samenvouwen","sidebarElectron.createStableWorktree.dialog.cancel":"Annuleren","sidebarElectron.createStableWorktree.dialog.create":"Maken","sidebarElectron.debugNavLink":"Fouten oplossen","sidebarElectron.editWorkspaceRootOptionName":"Naam bewerken","sidebarElectron.expandFolder":"Map uitvouwen","sidebarElectron.groupByMenu.recency":"Chronologische lijst","sidebarElectron.groupByMenu.title":"Ordenen","sidebarElectron.groupByMenu.workspace":"Per project","sidebarElectron.inboxRouteNavLink":"Automatisering","sidebarElectron.markThreadUnread":"Als ongelezen markeren","sidebarElectron.missingWorkspaceRoot":"Deze projectmap is verwijderd of verplaatst","sidebarElectron.newThread":"Nieuwe draad","sidebarElectron.newThreadInGroup":"Nieuwe draad starten in {folder}","sidebarElectron.noRecentThreads":"Geen recente draden","sidebarElectron.noTasks":"Geen draden","sidebarElectron.noTasks.start":"Een nieuw project toevoegen","sidebarElectron.noTasksWithFilter":"Er komen geen draden overeen met de filters","sidebarElectron.pinnedThreads":"Vastgezette draden","sidebarElectron.recentNavLink":"Draden","sidebarElectron.recentThreads":"Recente draden","sidebarElectron.removeWorkspaceRootOption":"Verwijderen","sidebarElectron.renameThread":"Naam van draad wijzigen","sidebarElectron.renameThreadDialogAriaLabel":"Titel van draad","sidebarElectron.renameThreadDialogCancel":"Annuleren","sidebarElectron.renameThreadDialogPlaceholder":"Voeg een titel toe…","sidebarElectron.renameThreadDialogSave":"Opslaan","sidebarElectron.renameThreadDialogSubtitle":"Houd het kort en herkenbaar.","sidebarElectron.renameThreadDialogTitle":"Naam van draad wijzigen","sidebarElectron.renameThreadError":"Naam van draad wijzigen mislukt","sidebarElectron.renameWorkspaceRootOptionLabel":"Weergavenaam","sidebarElectron.showLess":"Minder weergeven","sidebarElectron.showMenu.all":"Alle draden","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Alleen recente draden weergeven voor de huidige branch, worktrees of andere draden die jouw aandacht nodig hebben","sidebarElectron.showMenu.title":"Weergeven","sidebarElectron.showMenu.tooltip":"Draden filteren, sorteren en ordenen","sidebarElectron.showMenu.trigger":"Draden in zijbalk filteren","sidebarElectron.showMore":"Meer weergeven","sidebarElectron.skillsRouteNavLink":"Vaardigheden","sidebarElectron.sortMenu.created":"Gemaakt","sidebarElectron.sortMenu.title":"Sorteren op","sidebarElectron.sortMenu.updated":"Bijgewerkt","sidebarElectron.taskNavigation":"Automatiseringsmappen","sidebarElectron.tasksInFolder":"Automatiseringen in {folder}","sidebarElectron.workspaceOptions":"Projecthandelingen voor {folder}","sidebarElectron.worktreeGroupTooltip":"Dit is een git worktree","skills.appsPage.createSkill":"Nieuwe vaardigheid","skills.appsPage.empty.skills":"Geen vaardigheden gevonden","skills.appsPage.search.skills":"Vaardigheden zoeken","skills.appsPage.search.skills.label":"Vaardigheden zoeken","skills.appsPage.section.installedApps":"Geïnstalleerd","skills.appsPage.section.skills":"Vaardigheden","skills.appsPage.subheading":"Geef Codex superkrachten.<link>Meer info</link>","skills.appsPage.tab.recommended":"Aanbevolen","skills.appsPage.tab.skills":"Vaardigheden","skills.card.contentsError":"Inhoud van vaardigheid kan niet worden geladen.","skills.card.disable":"Uitschakelen","skills.card.disableSuccess":"Vaardigheid {skillName} uitgeschakeld","skills.card.disabledBadge":"Uitgeschakeld","skills.card.enable":"Inschakelen","skills.card.enableSuccess":"Vaardigheid {skillName} ingeschakeld","skills.card.loadingContents":"Inhoud van vaardigheid laden...","skills.card.more":"Meer handelingen","skills.card.open":"Openen","skills.card.removeFailed":"De-installeren van vaardigheid mislukt","skills.card.removeSuccess":"Vaardigheid {skillName} gede-installeerd","skills.card.toggleEnabledError":"Bijwerken van vaardigheid mislukt","skills.card.try":"Proberen","skills.card.trySkill":"Vaardigheid proberen","skills.card.uninstall":"De-installeren","skills.hero.dotLabel":"Ga naar dia {index}","skills.hero.next":"Volgende uitgelichte vaardigheid","skills.hero.trySkill":"Vaardigheid proberen","skills.page.createSkill":"Nieuwe vaardigheid","skills.page.empty":"Geen vaardigheden gevonden","skills.page.filteredEmpty":"Geen vaardigheden die overeenkomen met je filters","skills.page.filteredEmptyDescription":"Pas je zoekopdracht of bereikfilters aan","skills.page.heading":"Vaardigheden","skills.page.loading":"Vaardigheden laden...","skills.page.refreshSkills":"Vernieuwen","skills.page.refreshSkillsToUseNew":"Vernieuw om nieuwe vaardigheden te gebruiken","skills.page.search":"Vaardigheden zoeken","skills.page.search.label":"Vaardigheden zoeken","skills.page.subheading":"Geef Codex superkrachten.<link>Meer info</link>","skills.preview.copyPrompt":"Prompt kopiëren","skills.preview.examplePrompt":"Voorbeeldprompt","skills.recommended.error":"Aanbevolen vaardigheden kunnen niet worden geladen","skills.recommended.install":"Installeren","skills.recommended.installSkill":"Vaardigheid installeren","skills.recommended.installSuccess":"Vaardigheid {skillName} geïnstalleerd","skills.recommended.installed":"Geïnstalleerd","skills.scope.admin":"Beheerder","skills.scope.adminInstalled":"Door beheerder geïnstalleerd","skills.scope.builtIn":"Systeem","skills.scope.personal":"Persoonlijk","skills.scope.repo":"Repo","skills.scope.system":"Systeem","skills.scope.team":"Team","skills.scope.user":"Gebruiker","skills.section.installed":"Geïnstalleerd","skills.section.recommended":"Aanbevolen","story.slidingToggle.existing":"Bestaande","story.slidingToggle.fromLocal":"Van lokaal","story.slidingToggle.new":"Nieuw","story.slidingToggle.toLocal":"Naar lokaal","terminal.close":"Terminal sluiten","terminal.title":"Terminal","thinkingShimmer.default":"Denkt na","threadEnvIcon.cloudTooltip":"Dit gesprek wordt uitgevoerd in Codex Cloud.","threadEnvIcon.localTooltip":"Dit gesprek wordt lokaal uitgevoerd.","threadEnvIcon.worktreeTooltip":"Dit gesprek wordt uitgevoerd in een lokale git-worktree.","threadHeader.archiveConfirmCancel":"Annuleren","threadHeader.archiveConfirmConfirm":"Archiveren","threadHeader.copySessionId":"Sessie-ID kopiëren","threadHeader.copyWorkingDirectory":"Werkmap kopiëren","threadHeader.forkIntoLocal":"Fork maken naar lokaal","threadHeader.forkIntoWorktree":"Fork maken naar nieuwe worktree","threadHeader.forkPendingWorktreePrompt":"Maak een fork van dit gesprek in een nieuwe worktree.","threadHeader.forkPendingWorktreeTitle":"Gesprek met fork","threadHeader.forkThreadError":"Fork van draad maken mislukt","threadHeader.forkThreadRequiresGitRepo":"Er is een git-repository nodig om een fork naar een nieuwe worktree te maken","threadHeader.moreActions":"Draadhandelingen","threadPage.newThread":"Nieuwe draad","threadPage.runAction.changeEnvironment":"Omgeving wijzigen","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName}-handelingen","threadPage.runAction.environmentSelector.label":"Omgeving kiezen","threadPage.runAction.label":"Uitvoeren","threadPage.runAction.missing.label":"Stel een uitvoeringsactie in","threadPage.runAction.setup.commandLabel":"Opdracht om uit te voeren","threadPage.runAction.setup.description":"Vertel Codex hoe het afhankelijkheden moet installeren en je app moet opstarten.","threadPage.runAction.setup.editMore":"Omgevingsinstellingen","threadPage.runAction.setup.placeholder":"vb: npm install npm run","threadPage.runAction.setup.submit":"Opslaan en uitvoeren","threadPage.runAction.setup.title":"Uitvoeren","threadPage.runAction.tooltip.withEnvironment":"{environmentName}-handelingen","threadPage.toggleDiffPanel":"Diff-paneel omschakelen","threadPage.toggleTerminal":"Terminal omschakelen","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Map openen","toolSummaryForCmd.exploredFiles":"<verb>Vermeldde</verb> bestanden","toolSummaryForCmd.exploredFilesInPath":"<verb>Vermeldde</verb> bestanden in {path}","toolSummaryForCmd.exploringFiles":"<verb>Vermeldt</verb> bestanden","toolSummaryForCmd.exploringFilesInPath":"<verb>Vermeldt</verb> bestanden in {path}","toolSummaryForCmd.ranGenericCommand":"<status>Heeft opdracht uitgevoerd</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Heeft uitgevoerd:</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lees</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Voert opdracht uit</status>{timer}","toolSummaryForCmd.runningTimer":"voor {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Heeft gezocht</verb> naar {query}","toolSummaryForCmd.searchedForFiles":"<verb>Heeft gezocht</verb> naar bestanden","toolSummaryForCmd.searchedForInPath":"<verb>Heeft gezocht</verb> naar {query} in {path}","toolSummaryForCmd.searchingFor":"<verb>Zoekt</verb> naar {query}","toolSummaryForCmd.searchingForFiles":"<verb>Zoekt</verb> naar bestanden","toolSummaryForCmd.searchingForInPath":"<verb>Zoekt</verb> naar {query} in {path}","traceRecording.startDetails.cancel":"Annuleren","wham.diff.addComment":"Opmerking toevoegen","wham.diff.binaryFile":"Binair bestand niet weergegeven","wham.diff.noContent":"Geen inhoud","wham.fileTag.deleted":"Verwijderd","wham.fileTag.new":"Nieuw","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} u","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} ma","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} w","wham.formattedRelativeDateTime.compactYearsAgo":"{value} j","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Werkt aan je taak","wham.whamProposedTask.title":"Voorgestelde taak","wham.whamProposedTask.useSuggestion":"Suggestie gebruiken","workspaceRootDialog.addError":"Toevoegen van project mislukt","workspaceRootDialog.cancel":"Annuleren","workspaceRootDialog.confirmAdd":"Project toevoegen","workspaceRootDialog.confirmPick":"Project gebruiken","workspaceRootDialog.description":"Voer een pad in op {host} om als project te gebruiken.","workspaceRootDialog.pathLabel":"Projectpad","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Projectpad toevoegen","workspaceRootDialog.title.pick":"Projectpad kiezen","worktreeInitV2.cancel":"Annuleren","worktreeInitV2.notification.failedTitle":"Configuratie van worktree mislukt","worktreeInitV2.output.empty":"Wachten op uitvoer...","worktreeInitV2.status.error":"Configuratie van worktree mislukt.","worktreeInitV2.status.running":"Bezig met maken van worktree en uitvoeren van configuratie.","worktreeInitV2.status.runningFork":"Er wordt een worktree gemaakt om een fork te maken van dit gesprek.","worktreeInitV2.status.success":"Worktree gereed.","worktreeInitV2.title":"Worktree wordt gemaakt","worktreeInitV2.workLocallyInstead":"In plaats daarvan lokaal werken","worktreeRestoreBanner.body":"De worktree van deze draad is verwijderd om schijfruimte te besparen","worktreeRestoreBanner.missing.body":"De werkmap van deze draad bestaat niet meer","worktreeRestoreBanner.missing.title":"Huidige werkmap ontbreekt","worktreeRestoreBanner.restore.error":"Herstellen van worktree mislukt: {message}","worktreeRestoreBanner.restore.success":"Worktree hersteld","worktreeRestoreBanner.restoreCta":"Worktree herstellen","worktreeRestoreBanner.title":"Worktree opgeruimd"};Object.assign(e,globalThis.codexI18nOverrides?.["nl-NL"]);export{e as default};
 //# sourceMappingURL=nl-NL-BHdTaQz2.js.map
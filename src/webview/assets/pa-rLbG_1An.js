@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"ਕਾਪੀ ਕਰੋ","app.sidebar.hide":"ਸਾਈਡਬਾਰ ਛੁਪਾਓ","app.sidebar.show":"ਸਾਈਡਬਾਰ ਦਿਖਾਓ","app.sidebar.tooltip":"ਸਾਈਡਬਾਰ ਟੋਗਲ ਕਰੋ","appHeader.installUpdate":"ਅੱਪਡੇਟ","appSunset.body":"ਐਪ ਦਾ ਇਹ ਸੰਸਕਰਣ ਹੁਣ ਸਮਰਥਿਤ ਨਹੀਂ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਨਵੀਨਤਮ ਸੰਸਕਰਣ <here>ਇੱਥੋ</here> ਡਾਊਨਲੋਡ ਕਰੋ।","appSunset.title":"ਅੱਪਡੇਟ ਲੋੜੀਂਦੀ ਹੈ","automation.updateDirective.create":"ਬਣਾਉ","automation.updateDirective.open":"ਖੋਲ੍ਹੋ","automation.updateDirective.untitled":"ਬਿਨਾਂ ਸਿਰਲੇਖ ਆਟੋਮੇਸ਼ਨ","automation.updateDirective.update":"ਅੱਪਡੇਟ","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# ਕੋਸ਼ਿਸ਼} other {# ਕੋਸ਼ਿਸ਼ਾਂ}}","cloudTaskRow.archiveError":"ਕਾਰਜ ਨੂੰ ਪੁਰਾਲੇਖ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","code.diff.requestChange":"ਬਦਲਾਅ ਲਈ ਬੇਨਤੀ ਕਰੋ","code.diffComment.cancel":"ਰੱਦ ਕਰੋ","code.diffComment.comment":"ਟਿੱਪਣੀ","code.diffComment.delete":"ਮਿਟਾਓ","code.diffComment.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"ਕੋਈ ਲੱਭਤਾਂ ਰਿਪੋਰਟ ਨਹੀਂ ਕੀਤੀਆਂ ਗਈਆਂ।","codex.alert.closeAriaLabel":"ਬੰਦ ਕਰੋ","codex.appUpsellBanner.cbpApi.message":"ਕੋਡੈਕਸ ਐਪ ਨਾਲ ਤੇਜ਼ੀ ਨਾਲ ਬਣਾਓ। ਹੁਣੇ ਡਾਊਨਲੋਡ ਕਰੋ ਜਾਂ{learnMoreLink}.","codex.appUpsellBanner.download":"ਡਾਊਨਲੋਡ","codex.appUpsellBanner.freeGo.message":"ਕੋਡੈਕਸ ਤੁਹਾਡੀ ਯੋਜਨਾ ਵਿੱਚ 2 ਮਾਰਚ ਤੱਕ ਸ਼ਾਮਲ ਹੈ। ਤੇਜ਼ੀ ਨਾਲ ਬਣਾਓਣ ਲਈ ਕੋਡੈਕਸ ਐਪ ਇਸਤੇਮਾਲ ਕਰੋ।","codex.appUpsellBanner.later":"ਬਾਅਦ ਵਿੱਚ","codex.appUpsellBanner.learnMoreLowercase":"ਵਧੇਰੇ ਜਾਣੋ","codex.appUpsellBanner.new":"ਨਵਾਂ","codex.appUpsellBanner.proPlusBusiness.message":"ਕੋਡੈਕਸ ਐਪ ਨਾਲ ਤੇਜ਼ੀ ਨਾਲ ਬਣਾਓ। ਹੁਣੇ ਡਾਊਨਲੋਡ ਕਰੋ ਜਾਂ{learnMoreLink}.","codex.appUpsellBanner.title":"Codex ਐਪ","codex.applyDropdown.header.changes":"ਬਦਲਾਅ","codex.applyDropdown.header.fileCount":"{count, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}}","codex.applyDropdown.header.rows":"ਕਤਾਰਾਂ","codex.applyDropdown.header.title":"ਬਦਲਾਵ ਲਾਗੂ ਕਰੋ","codex.applyDropdown.header.workspace":"ਪ੍ਰੋਜੈਕਟ","codex.applyDropdown.results.conflicted":"{count, plural, one {1 ਫਾਈਲ ਨੇ ਟਕਰਾਅ ਕੀਤਾ:} other {{count} ਫਾਈਲਾਂ ਨੇ ਟਕਰਾਅ ਕੀਤਾ:}}","codex.applyDropdown.results.empty":"ਕੋਈ ਵੀ ਫਾਈਲ ਕਾਪੀ ਨਹੀਂ ਕੀਤੀ ਗਈ","codex.applyDropdown.results.skipped":"{count, plural, one {1 ਫਾਈਲ ਸਕਿੱਪ ਕੀਤੀ ਗਈ:} other {{count} ਫਾਈਲਾਂ ਸਕਿੱਪ ਕੀਤੀਆਂ ਗਈਆਂ:}}","codex.applyOrRevertBanner.apply":"ਲਾਗੂ ਕਰੋ","codex.applyOrRevertBanner.applyMessage":"ਬਦਲਾਅ ਲਾਗੂ ਕਰਨੇ ਹਨ ਅਤੇ ਲੋਕਲੀ ਜਾਰੀ ਰੱਖਣਾ ਹੈ?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ਇਹ ਕਾਰਜ {environment} ਵਿੱਚ ਬਣਾਇਆ ਗਿਆ ਸੀ, ਇਸ ਲਈ ਸਪੱਸ਼ਟ ਲਾਗੂ ਨਹੀਂ ਹੋ ਸਕਦਾ।","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"ਬਦਲਾਅ {environment} ਵਿੱਚ ਕੀਤੇ ਗਏ ਹਨ, ਇਸ ਲਈ ਸਪੱਸ਼ਟ ਲਾਗੂ ਨਹੀਂ ਹੋ ਸਕਦੇ।","codex.applyOrRevertBanner.reapply":"ਮੁੜ ਲਾਗੂ ਕਰੋ","codex.applyOrRevertBanner.revert":"ਪਹਿਲਾਂ ਵਾਂਗ ਕਰੋ","codex.applyOrRevertBanner.revertMessage":"ਲਾਗੂ ਕੀਤੇ ਬਦਲਾਅ ਵਾਪਸ ਕਰਨੇ ਹਨ?","codex.applyResultsDialog.applied":"ਸਪੱਸ਼ਟ ਲਾਗੂ ਕੀਤੇ ({count})","codex.applyResultsDialog.close":"ਬੰਦ ਕਰੋ","codex.applyResultsDialog.conflicted":"ਟਕਰਾਅ ({count})","codex.applyResultsDialog.noDetails":"ਕੋਈ ਫਾਈਲ ਵੇਰਵੇ ਉਪਲਬਧ ਨਹੀਂ।","codex.applyResultsDialog.skipped":"ਸਕਿੱਪ ਕੀਤਾ ({count})","codex.applyResultsDialog.title":"ਨਤੀਜੇ ਲਾਗੂ ਕਰੋ","codex.archiveInfo":"{dataControlsLink} ਵਿੱਚ ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਗਈਆਂ ਚੈਟਾਂ ਦੇਖੋ","codex.archiveInfo.dataControlsLink":"ਡੇਟਾ ਕੰਟਰੋਲ","codex.archiveInfo.electron":"{settingsLink} ਵਿੱਚ ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਗਈਆਂ ਚੈਟਾਂ ਦੇਖੋ","codex.archiveInfo.extension":"ਆਪਣੇ .codex ਫੋਲਡਰ ਵਿੱਚ ਆਰਕਾਈਵ ਕੀਤੀਆਂ ਚੈਟਾਂ ਦੇਖੋ","codex.archiveInfo.settingsLink":"ਸੈਟਿੰਗਾਂ","codex.banner.content.description":"ਕਾਰਜਾਂ ਨੂੰ ਸਮਾਂਤਰ ਰਨ ਕਰੋ, ਕਿਸੇ ਵੀ ਜਗ੍ਹਾ ਪ੍ਰਗਤੀ ਟਰੈਕ ਕਰੋ ਅਤੇ AI ਨਾਲ PRs ਦੀ ਸਮੀਖਿਆ ਕਰੋ।","codex.banner.content.headline":"Codex ਇਹ ਸਭ ਕਰਦਾ ਹੈ।","codex.cloudTaskRow.archiveTask":"ਕਾਰਜ ਨੂੰ ਆਰਕਾਈਵ ਕਰੋ","codex.cloudTaskRow.confirmArchiveTask":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.command.feedback":"ਫੀਡਬੈਕ","codex.command.findInThread":"ਲੱਭੋ","codex.command.forceReloadSkills":"ਰੀਲੋਡ ਸਕਿੱਲ ਫੋਰਸ ਕਰੋ","codex.command.logOut":"ਲਾਗ ਆਊਟ","codex.command.manageTasks":"ਕਾਰਜਾਂ ਦਾ ਪ੍ਰਬੰਧਨ ਕਰੋ","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"ਵਾਪਸ","codex.command.navigateForward":"ਅੱਗੇ ਭੇਜੋ","codex.command.newThread":"ਨਵਾਂ ਥ੍ਰੈੱਡ","codex.command.nextThread":"ਅਗਲਾ ਥ੍ਰੈਡ","codex.command.openFolder":"ਫੋਲਡਰ ਖੋਲ੍ਹੋ","codex.command.openSkills":"ਸਕਿੱਲਸ ’ਤੇ ਜਾਓ","codex.command.openThreadOverlay":"ਥ੍ਰੈਡ ਪੌਪ ਆਊਟ ਕਰੋ","codex.command.personalitySettings":"ਵਿਅਕਤੀਤਤਵ","codex.command.previousThread":"ਪਿਛਲਾ ਥ੍ਰੈਡ","codex.command.settings":"ਸੈਟਿੰਗਾਂ","codex.command.toggleDiffPanel":"ਡਿੱਫ ਪੈਨਲ ਬਦਲੋ","codex.command.toggleSidebar":"ਸਾਈਡਬਾਰ ਟੋਗਲ ਕਰੋ","codex.command.toggleTerminal":"ਟਰਮੀਨਲ ਟੋਗਲ ਕਰੋ","codex.commandGroup.app":"ਐਪ","codex.commandGroup.configure":"ਕੌਨਫਿਗਰ","codex.commandGroup.navigation":"ਨੇਵੀਗੇਸ਼ਨ","codex.commandGroup.panels":"ਪੈਨਲ","codex.commandGroup.skills":"ਹੁਨਰ","codex.commandGroup.thread":"ਥ੍ਰੈਡ","codex.commandGroup.workspace":"ਪ੍ਰੋਜੈਕਟ","codex.commandMenu.noResults":"ਕੋਈ ਮੇਲ ਨਹੀਂ","codex.commandMenu.searchPlaceholder":"ਖੋਜ ਕਮਾਂਡਾਂ","codex.commandMenu.suggestedGroup":"ਸਲਾਹ ਦਿੱਤੀ ਗਈ","codex.commandMenu.switchWorkspace":"ਪ੍ਰੋਜੈਕਟ ਬਦਲੋ","codex.commandMenu.title":"ਕਮਾਂਡ ਮੀਨੂੰ","codex.common.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","codex.composer.searchBranches":"ਸ਼ਾਖਾਵਾਂ ਦੀ ਖੋਜ ਕਰੋ","codex.dialog.basic.body":"ਇਹ ਰੈਡਿਕਸ ਡਾਇਲਾਗ ਦੇ ਆਲੇ-ਦੁਆਲੇ ਸਾਡੇ ਰੈਪਰ ਦੀ ਵਰਤੋਂ ਕਰਦਿਆਂ ਇੱਕ ਸਧਾਰਨ ਮਾਡਲ ਡਾਇਲਾਗ ਹੈ।","codex.dialog.basic.cancel":"ਰੱਦ ਕਰੋ","codex.dialog.basic.confirm":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.dialog.basic.open":"ਡਾਇਲਾਗ ਖੋਲ੍ਹੋ","codex.dialog.basic.title":"ਸੈਂਪਲ ਡਾਇਲਾਗ","codex.dialog.long.close":"ਬੰਦ ਕਰੋ","codex.dialog.long.line":"ਡਾਇਲਾਗ ਦੇ ਅੰਦਰ ਲੰਬੀ ਸਮੱਗਰੀ ਦਿਖਾਉਣ ਲਈ ਸਕ੍ਰੋਲ ਕਰਨ ਯੋਗ ਲਾਈਨ {index}।","codex.dialog.long.open":"ਲੰਬਾ ਡਾਇਲਾਗ ਖੋਲ੍ਹੋ","codex.dialog.long.title":"ਲੰਬਾ ਕੰਟੈਂਟ ਡਾਇਲਾਗ","codex.dialog.unstyled.body":"ਇਹ ਕਹਾਣੀ ਦਿਖਾਉਂਦੀ ਹੈ ਕਿ ਕਿਵੇਂ ਡਾਇਲਾਗ ਕੰਟੈਂਟ ਸਟਾਇਲਿੰਗ ਨੂੰ ਕਾਲਰ ਪੂਰੀ ਤਰ੍ਹਾਂ ਨਿਯੰਤਰਿਤ ਕਰ ਸਕਦੇ ਹਨ।","codex.dialog.unstyled.open":"ਅਨਸਟਾਇਲਡ ਡਾਇਲਾਗ ਖੋਲ੍ਹੋ","codex.dialog.unstyled.title":"ਅਨਸਟਾਇਲਡ ਕੰਟੈਂਟ","codex.diff.openInEditorPrompt.openButton":"ਐਡੀਟਰ ਵਿੱਚ ਖੋਲ੍ਹੋ","codex.diff.openInEditorPrompt.singleLine":"ਡਿਫ ਦਿਖਾਉਣ ਲਈ ਇਹ ਫਾਈਲ ਬਹੁਤ ਵੱਡੀ ਹੈ","codex.diffView.failedToDecodeBase64Diff":"base64 ਡਿਫ ਡੀਕੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","codex.diffView.filesChanged":"{fileCount, plural, one {# ਫਾਈਲ ਬਦਲੀ ਗਈ} other {# ਫਾਈਲਾਂ ਬਦਲੀਆਂ ਗਈਆਂ}}","codex.diffView.imagePreviewAlt":"ਤਸਵੀਰ ਪੂਰਵ-ਝਲਕ","codex.diffView.imagePreviewEmpty":"ਕੋਈ ਤਸਵੀਰ ਨਹੀਂ","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"ਕੋਈ ਡਿਫ ਡਾਟਾ ਨਹੀਂ","codex.diffView.pdfPreview.nextPage":"ਅਗਲਾ ਪੰਨਾ","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"ਪਿਛਲਾ ਪੰਨਾ","codex.diffView.pdfPreviewEmpty":"ਕੋਈ ਪੂਰਵ-ਝਲਕ PDF ਨਹੀਂ ਹੈ","codex.diffView.pdfPreviewError":"PDF ਪੂਰਵ-ਝਲਕ ਰੈਂਡਰ ਨਹੀਂ ਕੀਤਾ ਜਾ ਸਕਿਆ","codex.diffView.richPreviewDisable":"ਰਿਚ ਪੂਰਵ-ਝਲਕ ਬੰਦ ਕਰੋ","codex.diffView.richPreviewEnable":"ਰਿਚ ਪੂਰਵ-ਝਲਕ ਚਾਲੂ ਕਰੋ","codex.diffView.richPreviewLoading":"ਪੂਰਵ ਝਲਕ ਲੋਡ ਹੋ ਰਹੀ ਹੈ...","codex.diffView.richPreviewToggle":"ਰਿਚ ਪੂਰਵ-ਝਲਕ ਟੋਗਲ ਕਰੋ","codex.diffView.switchToUnified":"ਯੂਨੀਫਾਈਡ ਡਿਫ ਵਿੱਚ ਸਵਿੱਚ ਕਰੋ","codex.environmentSelector.noEnvironment":"ਕੋਈ ਵਾਤਾਵਰਣ ਨਹੀਂ","codex.environments.environmentSettings":"ਵਾਤਾਵਰਣ ਸੈਟਿੰਗਾਂ","codex.environments.learnMore":"ਵਧੇਰੇ ਜਾਣੋ","codex.environments.listError":"ਵਾਤਵਰਣਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","codex.environments.noEnvironmentsFound":"ਕੋਈ ਵਾਤਾਵਰਣ ਨਹੀਂ ਮਿਲੇ","codex.environments.searchError":"ਵਾਤਾਵਰਣ ਦੀ ਖੋਜ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","codex.errorBoundary.genericError":"ਓਹ, ਇੱਕ ਅਣਜਾਣ ਤਰੁੱਟੀ ਆਈ ਹੈ","codex.errorBoundary.goHome":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","codex.file.patch.missing":"ਇਸ ਫਾਈਲ ਦਾ ਪੈਚ ਤਿਆਰ ਨਹੀਂ ਹੋ ਸਕਿਆ।","codex.gallery.automations.cwdLabel":"ਪ੍ਰੋਜੈਕਟ","codex.gallery.automations.nameLabel":"ਨਾਮ","codex.gallery.automations.namePlaceholder":"ਇੱਕ ਕਾਰਜ ਦਾ ਸਾਰ ਦਿਓ","codex.gallery.automations.promptLabel":"ਪ੍ਰੋਂਪਟ","codex.gallery.automations.promptPlaceholder":"ਵੇਰਵਾ ਦਿਓ ਕਿ Codex ਨੂੰ ਕੀ ਕਰਨਾ ਚਾਹੀਦਾ ਹੈ","codex.gallery.dialogs.automation.label":"ਆਟੋਮੇਸ਼ਨ ਡਾਇਲੋਗ","codex.gallery.dialogs.basic.body":"ਸਿੱਧੀਆਂ ਪੁਸ਼ਟੀਆਂ ਜਾਂ ਛੋਟੇ ਫਾਰਮਾਂ ਲਈ ਇਸ ਲੇਆਉਟ ਦੀ ਵਰਤੋਂ ਕਰੋ।","codex.gallery.dialogs.basic.cancel":"ਰੱਦ ਕਰੋ","codex.gallery.dialogs.basic.confirm":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.gallery.dialogs.basic.label":"ਮੁੱਢਲਾ ਡਾਇਲੋਗ","codex.gallery.dialogs.basic.title":"ਸੈਂਪਲ ਡਾਇਲਾਗ","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"ਸਮੱਸਿਆ ਦਾ ਵਰਨਣ ਕਰੋ","codex.gallery.dialogs.feedbackSubmission.bad":"ਬੁਰਾ ਨਤੀਜਾ","codex.gallery.dialogs.feedbackSubmission.bug":"ਬੱਗ","codex.gallery.dialogs.feedbackSubmission.good":"ਚੰਗਾ ਨਤੀਜਾ","codex.gallery.dialogs.feedbackSubmission.includeLogs":"ਮੌਜੂਦਾ Codex ਸੈਸ਼ਨ ਲੌਗਸ ਸ਼ਾਮਲ ਕਰੋ","codex.gallery.dialogs.feedbackSubmission.label":"ਫੀਡਬੈਕ ਸਬਮਿਸ਼ਨ","codex.gallery.dialogs.feedbackSubmission.other":"ਹੋਰ","codex.gallery.dialogs.feedbackSubmission.placeholder":"ਇੱਥੇ ਸਮੱਸਿਆ ਦਾ ਵਰਨਣ ਕਰੋ","codex.gallery.dialogs.feedbackSubmission.submit":"ਜਮ੍ਹਾਂ ਕਰੋ","codex.gallery.dialogs.feedbackSubmission.title":"ਫੀਡਬੈਕ","codex.gallery.dialogs.feedbackSuccess.body":"ਫੀਡਬੈਕ ਅੱਪਲੋਡ ਕੀਤਾ ਗਿਆ। ਜੇ ਸਮੱਸਿਆ ਬਣੀ ਰਹਿੰਦੀ ਹੈ, ਕਿਰਪਾ ਕਰਕੇ GitHub ਮਸਲਾ ਖੋਲ੍ਹੋ ਜਾਂ ਮੌਜੂਦਾ ਖੁੱਲੇ ਹੋਏ ਮਸਲੇ ‘ਤੇ ਥ੍ਰੈਡ id ਦਾ ਜ਼ਿਕਰ ਕਰੋ।","codex.gallery.dialogs.feedbackSuccess.dismiss":"ਖਾਰਜ ਕਰੋ","codex.gallery.dialogs.feedbackSuccess.label":"ਫੀਡਬੈਕ ਸਫਲਤਾ","codex.gallery.dialogs.feedbackSuccess.title":"ਫੀਡਬੈਕ ਅੱਪਲੋਡ ਕੀਤਾ ਗਿਆ","codex.gallery.dialogs.gitApplyResults.applied":"ਸਪੱਸ਼ਟ ਲਾਗੂ ਕੀਤੇ (2)","codex.gallery.dialogs.gitApplyResults.close":"ਬੰਦ ਕਰੋ","codex.gallery.dialogs.gitApplyResults.conflicted":"ਟਕਰਾਅ (1)","codex.gallery.dialogs.gitApplyResults.label":"ਨਤੀਜੇ ਲਾਗੂ ਕਰੋ","codex.gallery.dialogs.gitApplyResults.title":"ਨਤੀਜੇ ਲਾਗੂ ਕਰੋ","codex.gallery.dialogs.gitPushError.body":"ਜੇਕਰ ਤੁਹਾਨੂੰ ਪਤਾ ਹੈ ਕਿ ਰਿਮੋਟ ਇਤਿਹਾਸ ਨੂੰ ਓਵਰਰਾਈਟ ਕਰਨਾ ਸੁਰੱਖਿਅਤ ਹੈ, ਤਾਂ ਨਵੀਨਤਮ ਤਬਦੀਲੀਆਂ ਨੂੰ ਪੁੱਲ ਕਰੋ ਜਾਂ ਫੋਰਸ ਪੁਸ਼ ਕਰੋ।","codex.gallery.dialogs.gitPushError.cancel":"ਰੱਦ ਕਰੋ","codex.gallery.dialogs.gitPushError.force":"ਫੋਰਸ ਪੁਸ਼","codex.gallery.dialogs.gitPushError.label":"ਪੁਸ਼ ਐਰਰ","codex.gallery.dialogs.gitPushError.subtitle":"ਤੁਹਾਡੀ ਸ਼ਾਖਾ ਮੂਲ/ਮੁੱਖ ਤੋਂ ਪਿੱਛੇ ਹੈ।","codex.gallery.dialogs.gitPushError.title":"ਪੁੱਸ਼ ਬਦਲਾਅ ਪੁੱਸ਼ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","codex.gallery.dialogs.gitRevert.cancel":"ਰੱਦ ਕਰੋ","codex.gallery.dialogs.gitRevert.confirm":"ਪਹਿਲਾਂ ਵਾਂਗ ਕਰੋ","codex.gallery.dialogs.gitRevert.label":"ਬਦਲਾਵ ਪਹਿਲਾਂ ਵਰਗੇ ਕਰੋ","codex.gallery.dialogs.gitRevert.skip":"ਦੁਬਾਰਾ ਨਾ ਪੁੱਛੋ","codex.gallery.dialogs.gitRevert.subtitle":"ਇਹ ਕਾਰਵਾਈ ਇਨ੍ਹਾਂ ਸਾਰੇ ਬਦਲਾਵਾਂ ਨੂੰ ਹਟਾ ਦੇਵੇਗੀ।","codex.gallery.dialogs.gitRevert.title":"ਕੀ ਬਦਲਾਵ ਪਹਿਲਾਂ ਵਰਗੇ ਕਰਨੇ ਹਨ?","codex.gallery.dialogs.longForm.label":"ਲੰਮੇਰਾ ਫਾਰਮ ਡਾਇਲਾਗ","codex.gallery.dialogs.proseModal.body":"ਇਹ ਮਾਡਲ ਸਟਾਇਲ ਲੰਮੇਰੀਆਂ ਹਦਾਇਤਾਂ, ਔਨਬੋਰਡਿੰਗ, ਜਾਂ ਸਮਰਿੱਧ ਸਮੱਗਰੀ ਬਲਾਕਾਂ ਲਈ ਵਰਤਿਆ ਜਾਂਦਾ ਹੈ।","codex.gallery.dialogs.proseModal.close":"ਬੰਦ ਕਰੋ","codex.gallery.dialogs.proseModal.subtitle":"ਇੱਥੇ ਲੰਮੇਰੇ ਫਾਰਮ ਮਾਰਗਦਰਸ਼ਨ ਜਾਂ ਦਸਤਾਵੇਜ਼ ਸਾਂਝੇ ਕਰੋ।","codex.gallery.dialogs.proseModal.title":"ਪਰੋਜ਼ ਮੋਡਲ","codex.gallery.dialogs.submitBlocked.label":"ਸਪੁਰਦਗੀ ਬਲੌਕ ਕੀਤੀ ਗਈ","codex.gallery.dialogs.submitBlocked.message":"ਤੁਹਾਡਾ ਸੁਨੇਹਾ ਭੇਜਿਆ ਨਹੀਂ ਜਾ ਸਕਿਆ ਕਿਉਂਕਿ ਇਹ ਪ੍ਰੋਜੈਕਟ ਉਪਲਬਧ ਨਹੀਂ ਹੈ।","codex.gallery.dialogs.submitBlocked.ok":"ਠੀਕ ਹੈ","codex.gallery.dialogs.submitBlocked.title":"ਸੁਨੇਹਾ ਭੇਜਣ ਵਿੱਚ ਅਸਮਰੱਥ","codex.gallery.dialogs.title":"ਡਾਇਲਾਗਜ਼","codex.gallery.dropdown.filterPlaceholder":"ਆਈਟਮਾਂ ਫਿਲਟਰ ਕਰੋ","codex.gallery.dropdowns.actionRow":"ਕਾਰਵਾਈ ਕਤਾਰਾਂ","codex.gallery.dropdowns.actionRow.disabled":"ਬੰਦ ਕੀਤੀ ਕਾਰਵਾਈ","codex.gallery.dropdowns.actionRow.primary":"ਮੁੱਖ ਕਾਰਵਾਈ","codex.gallery.dropdowns.actionRow.secondary":"ਸੈਕੰਡਰੀ ਕਾਰਵਾਈ","codex.gallery.dropdowns.actionRow.trigger":"ਕਾਰਵਾਈਆਂ ਦਿਖਾਉ","codex.gallery.dropdowns.basic":"ਮੁੱਢਲਾ ਡ੍ਰਾਪਡਾਊਨ","codex.gallery.dropdowns.basic.newFile":"ਨਵੀਂ ਫਾਈਲ","codex.gallery.dropdowns.basic.newFolder":"ਨਵਾਂ ਫੋਲਡਰ","codex.gallery.dropdowns.basic.openSettings":"ਸੈਟਿੰਗਾਂ ਖੋਲ੍ਹੋ","codex.gallery.dropdowns.basic.title":"ਤੁਰਤ ਕਾਰਵਾਈਆਂ","codex.gallery.dropdowns.basic.trigger":"ਮੀਨੂੰ ਖੋਲ੍ਹੋ","codex.gallery.dropdowns.basic.upload":"ਅੱਪਲੋਡ","codex.gallery.dropdowns.panel":"ਪੈਨਲ ਸਤ੍ਹਾ","codex.gallery.dropdowns.panel.apply":"ਲਾਗੂ ਕਰੋ","codex.gallery.dropdowns.panel.body":"ਡਿਫਜ਼ ਦੀ ਸਮੀਖਿਆ ਕਰੋ ਅਤੇ ਆਪਣੇ ਪ੍ਰੋਜੈਕਟ ‘ਤੇ ਲਾਗੂ ਕਰੋ","codex.gallery.dropdowns.panel.preview":"ਪੂਰਵ-ਝਲਕ","codex.gallery.dropdowns.panel.title":"ਬਦਲਾਵ ਲਾਗੂ ਕਰੋ","codex.gallery.dropdowns.panel.trigger":"ਪੈਨਲ ਖੋਲ੍ਹੋ","codex.gallery.dropdowns.search":"ਖੋਜਣਯੋਗ ਡ੍ਰਾਪਡਾਊਨ","codex.gallery.dropdowns.search.first":"ਐਲਫ਼ਾ ਚੈਨਲ","codex.gallery.dropdowns.search.second":"ਬੀਟਾ ਸ਼ਾਖਾ","codex.gallery.dropdowns.search.third":"ਪ੍ਰੀਖਿਆਰਥੀ ਜਾਰੀ ਕਰੋ","codex.gallery.dropdowns.search.trigger":"ਆਈਟਮਾਂ ਫਿਲਟਰ ਕਰੋ","codex.gallery.dropdowns.submenu":"ਸਬ-ਮੀਨੂ ਨਾਲ਼ ਡ੍ਰਾਪਡਾਊਨ","codex.gallery.dropdowns.submenu.optionA":"ਪ੍ਰੋਜੈਕਟ alpha","codex.gallery.dropdowns.submenu.optionB":"ਪ੍ਰੋਜੈਕਟ beta","codex.gallery.dropdowns.submenu.optionC":"ਪ੍ਰੋਜੈਕਟ gamma","codex.gallery.dropdowns.submenu.primary":"ਮਾਲਕ ਨੂੰ ਸਪੁਰਦ ਕਰੋ","codex.gallery.dropdowns.submenu.secondary":"ਵੱਲ ਮੂਲ ਕਰੋ","codex.gallery.dropdowns.submenu.tertiary":"ਪੁਰਾਲੇਖ","codex.gallery.dropdowns.submenu.trigger":"ਕਾਰਵਾਈ ਚੁਣੋ","codex.gallery.dropdowns.title":"ਡ੍ਰਾਪਡਾਊਨਜ਼","codex.gallery.inbox.automations.close":"ਬੰਦ ਕਰੋ","codex.gallery.inbox.automations.popover.cardTitle":"ਆਟੋਮੇਸ਼ਨਾਂ ਦਾ ਪ੍ਰਬੰਧਨ ਕਰੋ","codex.gallery.inbox.automations.popover.dialogTitle":"ਆਟੋਮੇਸ਼ਨਾਂ ਦਾ ਪ੍ਰਬੰਧਨ ਕਰੋ","codex.header.settingsTooltip":"ਸੈਟਿੰਗਾਂ","codex.hunk.patch.error":"ਸਟੇਜ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","codex.hunk.patch.missing":"ਇਸ ਹੰਕ ਦਾ ਪੈਚ ਤਿਆਰ ਨਹੀਂ ਹੋ ਸਕਿਆ।","codex.hunk.patch.partialSuccess":"ਅੰਸ਼ਕ ਸਫਲਤਾ","codex.hunk.patch.revertError":"ਸਟੇਜ ਤੋਂ ਹਟਾਉਣ ਤੋਂ ਅਸਫਲ","codex.hunk.patch.revertSuccess":"ਸਫਲਤਾਪੂਰਵਕ ਅਨਸਟੇਜ ਕੀਤਾ ਗਿਆ","codex.hunk.patch.success":"ਸਫਲਤਾਪੂਰਵਕ ਸਟੇਜ ਕੀਤਾ ਗਿਆ","codex.legal.autonomy.details":"ਵਧੇਰੇ ਵੇਰਵਿਆਂ ਲਈ,{link} ਦੇਖੋ","codex.legal.autonomy.details.link":"Codex ਦਸਤਾਵੇਜ਼","codex.legal.autonomy.title":"ਨਿਸ਼ਚਾ ਕਰੋ ਕਿ ਤੁਸੀਂ ਕਿੰਨੀ ਕੁ ਖੁਦਮੁਖਤਿਆਰੀ ਦੇਣਾ ਚਾਹੁੰਦੇ ਹੋ","codex.legal.backButton":"ਵਾਪਸ","codex.legal.cloud.taskOne.meta":"openai/agi · ਅਕਤੂਬਰ 12","codex.legal.cloud.taskOne.title":"ਇੱਕ ਨਵੇਂ ਡਿਜ਼ਾਈਨਰ ਨੂੰ ਰੀਪੌਜ਼ਟਰੀ ਦੀ ਵਿਆਖਿਆ ਕਰੋ","codex.legal.cloud.taskThree.meta":"openai/codex · ਅਕਤੂਬਰ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"ਇੱਕ ਡਾਰਕਮੋਡ ਥੀਮ ਬਣਾਓ","codex.legal.cloud.taskTwo.meta":"openai/agi · ਅਕਤੂਬਰ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ਇੱਕ ਆਨਬੋਰਡਿੰਗ ਬੱਗ ਨੂੰ ਠੀਕ ਕਰੋ","codex.legal.continue.apikey":"ਜਾਰੀ ਰੱਖੋ","codex.legal.continueButton":"ਅਗਲਾ","codex.legal.copilot.details":"ਸਾਰੀਆਂ ਮਾਡਲ ਕਾਲਾਂ, ਬਿਲਿੰਗ, ਅਤੇ ਦਰ ਸੀਮਾਵਾਂ ਲਈ ਤੁਹਾਡੇ ਕੋਪਾਇਲਟ ਪਲਾਨ ਦੀ ਵਰਤੋਂ ਕਰਦਾ ਹੈ। Codex ਐਕਸਟੈਂਸ਼ਨ ਦੀ ਵਰਤੋਂ {oaiTos} ਅਤੇ {gitHubTos} ਦੋਵਾਂ ਦੇ ਅਧੀਨ ਹੈ।","codex.legal.copilot.gitHubTosLink":"GitHub ਸੇਵਾ ਦੇ ਨੇਮ","codex.legal.copilot.oaiTosLink":"OpenAI Codex ਸੇਵਾ ਦੇ ਨੇਮ","codex.legal.copilot.title":"GitHub ਕੋਪਾਇਲਟ ਵੱਲੋਂ ਸੰਚਾਲਿਤ","codex.legal.mistakes.review":"ਸਮੀਖਿਆ ਕਰੋ ਜੋ ਕੋਡ ਇਹ ਲਿਖਦਾ ਹੈ ਅਤੇ ਇਸਦੇ ਰਨਸ ਨੂੰ ਕਮਾਂਡ ਕਰੋ","codex.legal.mistakes.title":"Codex ਗਲਤੀਆਂ ਕਰ ਸਕਦਾ ਹੈ","codex.legal.powered.details":"ਤੁਹਾਡੇ ਪਲਾਨ ਦੀਆਂ ਦਰ ਸੀਮਾਵਾਂ ਅਤੇ {link} ਦੀ ਵਰਤੋਂ ਕਰਦਾ ਹੈ","codex.legal.powered.details.link":"ਸਿਖਲਾਈ ਡਾਟਾ ਤਰਜੀਹਾਂ","codex.legal.powered.title":"ਤੁਹਾਡੇ ChatGPT ਖਾਤੇ ਵੱਲੋਂ ਸੰਚਾਲਿਤ","codex.legal.step.cloud.subtitle":"Codex ਨੂੰ ਕਾਰਜਾਂ ਨੂੰ ਬੈਕਗ੍ਰਾਊਂਡ ਵਿੱਚ ਚਲਾਉਣ ਲਈ ਭੇਜੋ ਤਾਂ ਜੋ ਤੁਸੀਂ ਧਿਆਨ ਕੇਂਦਰਿਤ ਰੱਖ ਸਕੋ ਅਤੇ ਤੇਜ਼ੀ ਨਾਲ ਅੱਗੇ ਵਧ ਸਕੋ।","codex.legal.step.cloud.title":"ਕਲਾਊਡ ਦੇ ਵਿੱਚ Codex ਨੂੰ ਦੇ ਦਿਓ","codex.legal.step.intro.subtitle":"Codex ਤੁਹਾਡੀ ਰੀਪੌ ਵਿੱਚ ਸਿੱਧਾ ਨੈਵੀਗੇਟ ਕਰਦਾ ਹੈ, ਐਡਿਟ ਕਰਦਾ ਹੈ, ਕਮਾਂਡਾਂ ਰਨ ਕਰਦਾ ਹੈ ਅਤੇ ਟੈਸਟਾਂ ਨੂੰ ਚਲਾਉਂਦਾ ਹੈ। ਤੁਹਾਡੇ ChatGPT ਖਾਤੇ ਦੁਆਰਾ ਸੰਚਾਲਿਤ।","codex.legal.step.intro.title":"ਤੁਹਾਡੀ IDE ਵਿੱਚ Codex","codex.legal.step.todo.subtitle":"ਇੱਕ TODO ਟਿੱਪਣੀ ਲਿਖੋ ਅਤੇ ਇੱਕ ਇਕੱਲੇ ਕਲਿੱਕ ਨਾਲ ਇਸਨੂੰ Codex ਕਾਰਜ ਵਿੱਚ ਬਦਲੋ।","codex.legal.step.todo.title":"TODOs ਨੂੰ Codex ਕਾਰਜਾਂ ਵਿੱਚ ਬਦਲੋ","codex.legal.todo.heading":"//TODO: ਲਾਗੂ ਸਕੀਮਾ","codex.localConversation.closeImagePreview":"ਤਸਵੀਰ ਪੂਰਵ-ਝਲਕ ਬੰਦ ਕਰੋ","codex.localConversation.userImageAttachment":"ਵਰਤੋਂਕਾਰ ਅਟੈਚਮੈਂਟ","codex.localTaskRow.archiveTask":"ਥ੍ਰੈਡ ਪੁਰਾਲੇਖਬੱਧ ਕਰੋ","codex.localTaskRow.awaitingApproval":"ਮਨਜ਼ੂਰੀ ਦੀ ਉਡੀਕ ਵਿੱਚ","codex.localTaskRow.awaitingResponse":"ਜਵਾਬ ਦੀ ਉਡੀਕ ਵਿੱਚ","codex.localTaskRow.confirmArchiveTask":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.loggedOut.apiKeyPrompt.cancel":"ਰੱਦ ਕਰੋ","codex.loggedOut.apiKeyPrompt.confirm":"ਠੀਕ ਹੈ","codex.loggedOut.apiKeyPrompt.getKey":"API ਕੁੰਜੀ ਪ੍ਰਾਪਤ ਕਰੋ","codex.loggedOut.apiKeyPrompt.inputLabel":"ਆਪਣੀ OpenAI API ਕੁੰਜੀ ਦਰਜ ਕਰੋ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API ਕੁੰਜੀ ਨਾਲ ਕਲਾਊਡ ਕਾਰਜ ਬੰਦ ਕੀਤੇ ਗਏ","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"ਕੋਪਾਇਲਟ ਅਤੇ API ਕੁੰਜੀ ਨਾਲ ਕਲਾਊਡ ਕਾਰਜ ਬੰਦ ਕੀਤੇ ਗਏ","codex.loggedOut.signIn":"ChatGPT ਨਾਲ ਸਾਈਨ ਇਨ ਕਰੋ","codex.loggedOut.signIn.cancel":"ਸਾਈਨ-ਇਨ ਰੱਦ ਕਰੋ","codex.loggedOut.signInWithCopilot":"GitHub ਕੋਪਾਇਲਟ ਨਾਲ ਸਾਈਨ ਇਨ ਕਰੋ","codex.loggedOut.title":"ਕੋਡੈਕਸ","codex.loggedOut.useApiKey":"API ਕੁੰਜੀ ਦੀ ਵਰਤੋਂ ਕਰੋ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ਟੂਲ","codex.mcpTool.collapsedLabel.verb.called":"ਕਾਲ ਕੀਤੀ ਗਈ","codex.mcpTool.collapsedLabel.verb.calling":"ਕਾਲ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ","codex.mcpTool.embeddedResource.contentLabel":"ਕੰਟੈਂਟ","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME ਕਿਸਮ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ਟੂਲ ਨੇ ਕੋਈ ਕੰਟੈਂਟ ਵਾਪਸ ਨਹੀਂ ਕੀਤਾ","codex.mcpTool.rawPayloadHeading":"ਰਾਅ {server}.{tool} ਟੂਲ ਕਾੱਲ ਪੇਅਲੋਡ","codex.menu.recent":"ਹਾਲੀਆ","codex.menu.seeAllHistory":"ਸਾਰੀ ਹਿਸਟਰੀ ਦੇਖੋ","codex.modelCapacityBanner.headline.noReset":"{modelName} ਇਸ ਵੇਲੇ ਪੂਰੀ ਸਮਰੱਥਾ 'ਤੇ ਹੈ। ਬਾਅਦ ਵਿੱਚ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ ਜਾਂ ਕਿਸੇ ਹੋਰ ਮਾਡਲ ਨਾਲ ਨਵੀਂ ਗੱਲਬਾਤ ਸ਼ੁਰੂ ਕਰੋ।","codex.modelCapacityBanner.headline.withReset":"{modelName} ਇਸ ਵੇਲੇ ਪੂਰੀ ਸਮਰੱਥਾ 'ਤੇ ਹੈ। {resetDate} ਬਾਅਦ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ ਜਾਂ ਕਿਸੇ ਹੋਰ ਮਾਡਲ ਨਾਲ ਨਵੀਂ ਗੱਲਬਾਤ ਸ਼ੁਰੂ ਕਰੋ।","codex.modelCapacityBanner.title":"ਚੁਣਿਆ ਗਿਆ ਮਾਡਲ ਸਮਰੱਥਾ ’ਤੇ ਹੈ","codex.patch.change.contentsDeleted":"ਕੰਟੈਂਟ ਡਿਲੀਟ ਕੀਤਾ ਗਿਆ","codex.patch.change.created":"ਬਣਾਇਆ ਗਿਆ","codex.patch.change.created-file":"ਫਾਈਲ ਬਣਾਈ ਗਈ","codex.patch.change.creating":"ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ","codex.patch.change.deleted":"ਮਿਟਾਇਆ ਗਿਆ","codex.patch.change.deleted-file":"ਮਿਟਾਈ ਗਈ ਫਾਈਲ","codex.patch.change.deleting":"ਮਿਟਾਇਆ ਜਾ ਰਿਹਾ ਹੈ","codex.patch.change.edited":"ਸੋਧ ਕੀਤੀ ਗਈ","codex.patch.change.edited-file":"ਐਡਿਟ ਕੀਤੀ ਫਾਈਲ","codex.patch.change.editing":"ਸੋਧਿਆ ਜਾ ਰਿਹਾ ਹੈ","codex.patch.change.noChanges":"ਕੋਈ ਬਦਲਾਅ ਨਹੀਂ","codex.patch.change.rejected-add":"ਅਸਵੀਕਾਰ","codex.patch.change.rejected-delete":"ਅਸਵੀਕਾਰ","codex.patch.change.rejected-edit":"ਅਸਵੀਕਾਰ","codex.plan.stepIndexPrefix":"{index}।","codex.plan.tasksCompletedSummary":"{total} ਵਿੱਚੋਂ {completed} ਕਾਰਜ ਪੂਰੇ ਕੀਤੇ ਗਏ","codex.plan.todoListCreated":"{total} ਕਾਰਜਾਂ ਨਾਲ ਟੂ ਡੂ ਸੂਚੀ ਬਣਾਈ ਗਈ","codex.profileDropdown.apiKeyAuth":"API ਕੁੰਜੀ ਨਾਲ ਲਾਗ ਇਨ ਕੀਤਾ","codex.profileDropdown.codexSettings":"ਕੋਡੈਕਸ ਸੈਟਿੰਗਾਂ","codex.profileDropdown.copilotAuth":"ਕੋਪਾਇਲਟ ਨਾਲ ਲਾਗ ਇਨ ਕੀਤਾ","codex.profileDropdown.defaultAccountTitle":"ਡੀਫਾਲਟ ਖਾਤਾ","codex.profileDropdown.enterBehavior":"{modifierSymbol} + ਲੰਬੇ ਪ੍ਰੋਂਪਟ ਭੇਜਣ ਲਈ ਐਂਟਰ ਦੱਬੋ","codex.profileDropdown.enterBehaviorError":"ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","codex.profileDropdown.getPlus":"ਉੱਚੀਆਂ ਸੀਮਾਵਾਂ ਲਈ ਅੱਪਗ੍ਰੇਡ ਕਰੋ","codex.profileDropdown.keyboardShortcuts":"ਕੀਬੋਰਡ ਸ਼ਾਰਟਕੱਟ","codex.profileDropdown.language":"ਭਾਸ਼ਾ","codex.profileDropdown.languageDefault":"ਸਵੈ-ਖੋਜ","codex.profileDropdown.languageSearchPlaceholder":"ਭਾਸ਼ਾਵਾਂ ਖੋਜੋ","codex.profileDropdown.languageUpdateError":"ਭਾਸ਼ਾ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","codex.profileDropdown.logOut":"ਲਾਗ ਆਊਟ","codex.profileDropdown.mcp":"MCP ਸੈਟਿੰਗਾਂ","codex.profileDropdown.openConfigToml":"config.toml ਖੋਲ੍ਹੋ","codex.profileDropdown.openConfigToml.wsl":"WSL ਵਾਤਾਵਰਣ ਵਿੱਚ config.toml ਖੋਲ੍ਹੋ","codex.profileDropdown.openExtensionSettings":"ਸੈਟਿੰਗਾਂ ਖੋਲ੍ਹੋ","codex.profileDropdown.openMcpSettings":"MCP ਸੈਟਿੰਗਾਂ ਖੋਲ੍ਹੋ","codex.profileDropdown.openOnStartup":"ਸਟਾਰਟਅੱਪ ’ਤੇ ਖੋਲ੍ਹੋ","codex.profileDropdown.openOnStartupError":"ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","codex.profileDropdown.openSkillsSettings":"ਹੁਨਰ ਸੈਟਿੰਗ ਨੂੰ ਖੋਲ੍ਹੋ","codex.profileDropdown.personalAccountTitle":"ਨਿੱਜੀ ਖਾਤਾ","codex.profileDropdown.queueFollowUps":"ਫੌਲੋ-ਅੱਪ ਕਿਊ","codex.profileDropdown.queueFollowUpsError":"ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","codex.profileDropdown.readDocs":"ਦਸਤਾਵੇਜ਼ ਪੜ੍ਹੋ","codex.profileDropdown.readSkillsDocs":"ਦਸਤਾਵੇਜ਼ ਪੜ੍ਹੋ","codex.profileDropdown.runInWsl":"WSL ਵਿੱਚ ਰਨ ਕਰੋ","codex.profileDropdown.runInWslError":"ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","codex.profileDropdown.runInWslTooltip":"WSL ਵਿੱਚ Codex ਚਲਾਉਂਦਾ ਹੈ। ਬਿਹਤਰ ਸੈਂਡਬੌਕਸ ਸੁਰੱਖਿਆ ਅਤੇ ਬਿਹਤਰ ਪ੍ਰਦਰਸ਼ਨ ਲਈ ਸਿਫ਼ਾਰਸ਼ ਕੀਤੀ ਜਾਂਦੀ ਹੈ।","codex.profileDropdown.settings":"IDE ਸੈਟਿੰਗਾਂ","codex.profileDropdown.settingsPage":"ਸੈਟਿੰਗਾਂ","codex.profileDropdown.signInWithOpenAI":"ChatGPT ਨਾਲ ਸਾਈਨ ਇਨ ਕਰੋ","codex.profileDropdown.skills":"ਹੁਨਰ ਸੈਟਿੰਗ","codex.profileDropdown.switchToCopilotAccount":"ਕੋਪਾਇਲਟ ਖਾਤੇ ਦੀ ਵਰਤੋਂ ਕਰੋ","codex.profileDropdown.switchToOpenAIAccount":"OpenAI ਖਾਤੇ ਦੀ ਵਰਤੋਂ ਕਰੋ","codex.profileDropdown.todoCodelens":"TODO ਟਿੱਪਣੀ ਹੱਲ ਕਰੋ","codex.profileDropdown.todoCodelensError":"ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","codex.profileDropdown.windowsDocumentation":"Windows ਦਸਤਾਵੇਜ਼","codex.profileFooter.signedInFallback":"ਸੈਟਿੰਗਾਂ","codex.profileFooter.upgrade":"ਅੱਪਗ੍ਰੇਡ ਕਰੋ","codex.recentTasksMenu.clearSearch":"ਖੋਜ ਕਲੀਅਰ ਕਰੋ","codex.recentTasksMenu.cloud":"ਕਲਾਊਡ ਕਾਰਜ","codex.recentTasksMenu.count":"{count, plural, =0 {ਕੋਈ ਵੀ ਕਾਰਜ ਪ੍ਰਗਤੀ ਵਿੱਚ ਨਹੀਂ ਹੈ} one {# ਕਾਰਜ ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ} other {# ਕਾਰਜ ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ}}","codex.recentTasksMenu.empty":"ਅਜੇ ਕੋਈ ਥ੍ਰੈਡ ਨਹੀਂ","codex.recentTasksMenu.errorCloud":"ਕਾਰਜਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਲਈ ਅਸਫਲ।","codex.recentTasksMenu.errorCloud.inline":"ਕਲਾਊਡ ਕਾਰਜਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","codex.recentTasksMenu.filterAll":"ਸਾਰੇ","codex.recentTasksMenu.filterCloudTasks":"ਕਲਾਊਡ ਕਾਰਜ ਫਿਲਟਰ ਕਰੋ","codex.recentTasksMenu.filterTooltip":"ਵਾਤਾਵਰਣ ਰਾਹੀਂ ਕਾਰਜਾਂ ਨੂੰ ਫਿਲਟਰ ਕਰੋ","codex.recentTasksMenu.local":"ਲੋਕਲ ਕਾਰਜ","codex.recentTasksMenu.recent":"ਸਾਰੇ ਕਾਰਜ","codex.recentTasksMenu.search":"ਹਾਲੀਆ ਕਾਰਜਾਂ ਦੀ ਖੋਜ ਕਰੋ","codex.recentTasksMenu.searchEmpty":"ਕੋਈ ਨਤੀਜੇ ਨਹੀਂ","codex.recentTasksMenu.tooltip":"ਕਾਰਜ ਹਿਸਟਰੀ","codex.recentTasksMenu.trigger":"ਹਾਲੀਆ ਕਾਰਜ। {count, plural, one {# ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ} other {# ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ}}","codex.remoteConversation.applyDiff.applyCta":"ਬਦਲਾਵ ਲਾਗੂ ਕਰੋ","codex.remoteConversation.applyDiff.dropdownTitle":"ਕਿਸੀ ਸਥਾਨਕ ਸ਼ਾਖਾ ‘ਤੇ ਬਦਲਾਵ ਲਾਗੂ ਕਰੋ","codex.remoteConversation.applyDiff.revertCta":"ਬਦਲਾਵ ਪਹਿਲਾਂ ਵਰਗੇ ਕਰੋ","codex.remoteConversation.closeImagePreview":"ਤਸਵੀਰ ਪੂਰਵ-ਝਲਕ ਬੰਦ ਕਰੋ","codex.remoteConversation.codexCloudTask":"ਤੁਸੀਂ ਇੱਕ <u>Codex ਕਲਾਊਡ</u> ਕਾਰਜ ਦੇਖ ਰਹੇ ਹੋ","codex.remoteConversation.errorWithMessage":"ਤਰੁੱਟੀ: {message}","codex.remoteConversation.loadingImage":"ਤਸਵੀਰ ਲੋਡ ਹੋ ਰਹੀ ਹੈ","codex.remoteConversation.openInWeb":"ਵੈੱਬ ਵਿੱਚ ਖੋਲ੍ਹੋ","codex.remoteConversation.streaming":"ਸ਼ੁਰੂ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","codex.remoteConversation.turnFailed":"ਇਸ ਕਾਰਜ ਵੇਲੇ ਇੱਕ ਤਰੁੱਟੀ ਆਈ","codex.remoteConversation.turnTab.loading":"{number} ਕੋਸ਼ਿਸ਼","codex.remoteConversation.turnTab.title":"{number} ਕੋਸ਼ਿਸ਼","codex.remoteConversation.userImageAttachment":"ਵਰਤੋਂਕਾਰ ਅਟੈਚਮੈਂਟ","codex.remoteConversation.viewPreviousTurns":"ਵੈੱਬ ਵਿੱਚ ਖੋਲ੍ਹੋ","codex.remoteConversation.viewPreviousTurns.buttonText":"ਖੋਲ੍ਹੋ","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ਵੈੱਬ ਵਿੱਚ ਖੋਲ੍ਹੋ","codex.review.copyGitApplyCommand":"git ਕਮਾਂਡ ਅਪਲਾਈ ਕਾਪੀ ਕਰੋ","codex.review.copyGitApplyCommand.toast":"ਕਲਿੱਪਬੋਰਡ ’ਤੇ git ਅਪਲਾਈ ਕਮਾਂਡ ਨੂੰ ਕਾਪੀ ਕੀਤਾ","codex.review.diffTooLarge.description":"ਇਹ ਡਿਫ ਸਮੀਖਿਆ ਵਿੱਚ ਡਿਸਪਲੇਅ ਲਈ ਬਹੁਤ ਵੱਡਾ ਹੈ।","codex.review.diffTooLarge.title":"ਡਿਫ ਦਿਖਾਉਣ ਲਈ ਬਹੁਤ ਵੱਡਾ ਹੈ","codex.review.expandOrCollapseDiffButton.collapse":"ਸਾਰੇ ਡਿਫਸ ਨੂੰ ਬੰਦ ਕਰੋ","codex.review.expandOrCollapseDiffButton.expand":"ਸਾਰੇ ਡਿਫਸ ਨੂੰ ਵਧਾਓ","codex.review.expandOrCollapseDiffMenu.collapse":"ਸਾਰੇ ਡਿਫਸ ਨੂੰ ਬੰਦ ਕਰੋ","codex.review.expandOrCollapseDiffMenu.expand":"ਸਾਰੇ ਡਿਫਸ ਨੂੰ ਵਧਾਓ","codex.review.fileSearch.clear":"ਫਾਈਲ ਫਿਲਟਰ ਸਾਫ ਕਰੋ","codex.review.fileSearch.empty":"ਮੌਜੂਦਾ ਫਿਲਟਰ ਨਾਲ ਕਿਸੇ ਤਰ੍ਹਾਂ ਦੀਆਂ ਫਾਈਲ ਮੇਲ ਨਹੀਂ ਖਾਂਦੀਆਂ।","codex.review.fileSearch.label":"ਫਾਈਲਾਂ ਫਿਲਟਰ ਕਰੋ","codex.review.fileSearch.placeholder":"ਫਾਈਲਾਂ ਫਿਲਟਰ ਕਰੋ...","codex.review.filesChanged":"{num, plural, =0 {ਕੋਈ ਫਾਈਲਾਂ ਨਹੀਂ ਬਦਲੀਆਂ ਗਈਆਂ} one {# ਫਾਈਲ ਬਦਲੀ ਗਈ} other {# ਫਾਈਲਾਂ ਬਦਲੀਆਂ ਗਈਆਂ}}","codex.review.find.loadMore":"ਹੋਰ ਮੇਲ ਲੋਡ ਕਰੋ","codex.review.fullReview.hideFileTree":"ਫਾਈਲ ਟਰੀ ਛੁਪਾਓ","codex.review.fullReview.showFileTree":"ਫਾਈਲ ਟਰੀ ਦਿਖਾਓ","codex.review.header.moreOptions":"ਸਮੀਖਿਆ ਵਿਕਲਪ","codex.review.largeDiff.banner":"ਵਡੇਰੇ ਡਿਫ਼ ਪਛਾਣ ਹੇਠ ਆਏ — ਇਕ ਸਮੇਂ ਤੇ ਇਕ ਹੀ ਫਾਈਲ ਦਿਖਾਈ ਜਾ ਰਹੀ ਹੈ।","codex.review.loadFullFiles.disable":"ਸੰਪੂਰਨ ਫਾਈਲਾਂ ਲੋਡ ਕਰਨ ਨੂੰ ਰਹਿਣ ਦਿਉ","codex.review.loadFullFiles.enable":"ਸੰਪੂਰਨ ਫਾਈਲਾਂ ਲੋਡ ਕਰੋ","codex.review.noDiff":"ਫਾਈਲ ਬਦਲਾਅ ਇੱਥੇ ਦਿਖਾਈ ਦੇਣਗੇ","codex.review.noDiff.gitInit.createRepository":"ਗਿਟ ਰੀਪੌਜ਼ੀਟਰੀ ਬਣਾਉ","codex.review.noDiff.gitInit.creating":"ਬਣਾ ਰਿਹਾ ਹੈ...","codex.review.noDiff.gitInit.error":"Git ਇਨਇੱਟ ਅਸਫਲ: {message}","codex.review.noDiff.gitInit.success":"Git ਰੀਪੌਜ਼ੀਟਰੀ ਬਣਾਈ ਗਈ","codex.review.noDiff.gitRepoRequired.description":"ਇਸ ਪ੍ਰੋਜੈਕਟ ਵਿੱਚ ਬਦਲਾਅ ਟਰੈਕ ਕਰਕੇ ਅਣਕੀਤਾ ਕਰੋ","codex.review.noDiff.gitRepoRequired.title":"Git ਰੀਪੌਜ਼ੀਟਰੀ ਬਣਾਉ","codex.review.noDiff.orNoLongerAvailable":"ਜਾਂ ਨਵੀਨਤਮ ਡਿਫ ਹੁਣ ਉਪਲਬਧ ਨਹੀਂ ਹਨ","codex.review.noDiff.reverted":"ਆਖਰੀ ਟਰਨ ਵਾਪਸ ਕਰ ਦਿੱਤੀ ਗਈ ਹੈ","codex.review.noDiff.revertedOrCommitted":"ਆਖਰੀ ਟਰਨ ਜਾਂ ਤਾਂ ਵਾਪਸ ਕਰ ਦਿੱਤੀ ਗਈ ਹੈ ਜਾਂ ਕਮਿੱਟ ਕਰ ਦਿੱਤੀ ਗਈ ਹੈ","codex.review.refreshGitQueries":"ਰੀਫਰੈਸ਼","codex.review.revert.file.error":"{path} ਵਾਪਸ ਭੇਜਣ ਵਿੱਚ ਅਸਫਲ","codex.review.revert.file.partialSuccess":"{path} ਅੰਸ਼ਕ ਤੌਰ ’ਤੇ ਵਾਪਸ ਭੇਜਿਆ","codex.review.revert.file.success":"{path} ਵਾਪਸ ਭੇਜਿਆ","codex.review.revert.hunk.error":"ਹੰਕ {hunkNumber} ਨੂੰ {path} ਵਿੱਚ ਵਾਪਸ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","codex.review.revert.hunk.partialSuccess":"ਹੰਕ {hunkNumber} ਨੂੰ {path} ਵਿੱਚ ਅੰਸ਼ਕ ਤੌਰ ’ਤੇ ਵਾਪਸ ਭੇਜਿਆ","codex.review.revert.hunk.success":"ਹੰਕ {hunkNumber} ਨੂੰ {path} ਵਿੱਚ ਵਾਪਸ ਕੀਤਾ","codex.review.revert.section.error":"ਸੈਕਸ਼ਨ ਨੂੰ ਵਾਪਸ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","codex.review.revert.section.partialSuccess":"ਸੈਕਸ਼ਨ ਅੰਸ਼ਕ ਤੌਰ ’ਤੇ ਵਾਪਸ ਕੀਤਾ","codex.review.revert.section.success":"ਸੈਕਸ਼ਨ ਵਾਪਸ ਕੀਤਾ","codex.review.revertDialog.cancel":"ਰੱਦ ਕਰੋ","codex.review.revertDialog.confirm":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.review.revertDialog.message":"ਇਹ ਕਾਰਵਾਈ ਇਨ੍ਹਾਂ ਸਾਰੇ ਬਦਲਾਵਾਂ ਨੂੰ ਹਟਾ ਦੇਵੇਗੀ।","codex.review.revertDialog.skip":"ਦੁਬਾਰਾ ਨਾ ਪੁੱਛੋ","codex.review.revertDialog.title":"ਕੀ ਬਦਲਾਵ ਪਹਿਲਾਂ ਵਰਗੇ ਕਰਨੇ ਹਨ?","codex.review.richPreview.disable":"ਰਿਚ ਪੂਰਵ-ਝਲਕ ਬੰਦ ਕਰੋ","codex.review.richPreview.enable":"ਰਿਚ ਪੂਰਵ-ਝਲਕ ਚਾਲੂ ਕਰੋ","codex.review.source.cloud":"ਕਲਾਊਡ ਬਦਲਾਅ","codex.review.source.local.all":"ਸਾਰੇ ਸ਼ਾਖਾ ਬਦਲਾਅ","codex.review.source.local.lastTurn":"ਆਖਰੀ ਟਰਨ ਬਦਲਾਅ","codex.review.source.local.uncommitted":"ਅਣ-ਕਮਿੱਟ ਕੀਤੇ ਬਦਲਾਵ","codex.review.source.worktree":"ਗੈਰ-ਕਮਿੱਟ ਹੋਏ ਵਰਕਟਰੀ ਬਦਲਾਅ","codex.review.stageFilter.empty.staged.description":"ਸਟੇਜ ਕਰਨ ਲਈ ਐਡਿਟ ਸਵੀਕਾਰ ਕਰੋ","codex.review.stageFilter.empty.staged.title":"ਕੋਈ ਸਟੇਜ ਕੀਤੇ ਬਦਲਾਅ ਨਹੀਂ","codex.review.stageFilter.empty.unstaged.description":"ਕੋਡ ਬਦਲਾਅ ਇੱਥੇ ਦਿਖਾਈ ਦੇਣਗੇ","codex.review.stageFilter.empty.unstaged.title":"ਕੋਈ ਸਟੇਜ ਨਾ ਕੀਤੇ ਬਦਲਾਅ ਨਹੀਂ","codex.review.stageFilter.staged":"ਸਟੇਜ ਕੀਤਾ ਗਿਆ","codex.review.stageFilter.staged.count":"ਸਟੇਜ ਕੀਤਾ ਗਿਆ · {count}","codex.review.stageFilter.unstaged":"ਸਟੇਜ ਨਹੀਂ ਕੀਤਾ ਗਿਆ","codex.review.stageFilter.unstaged.count":"ਸਟੇਜ ਨਹੀਂ ਕੀਤਾ · {count}","codex.review.switchToSplit":"ਡਿਫ ਸਪਲਿਟ ਕਰਨ ਲਈ ਸਵਿੱਚ ਕਰੋ","codex.review.switchToUnified":"ਯੂਨੀਫਾਈਡ ਡਿਫ ਵਿੱਚ ਸਵਿੱਚ ਕਰੋ","codex.review.toggleDiffView":"ਡਿੱਫ ਝਲਕ ਬਦਲੋ","codex.review.wordDiffs.disable":"ਵਰਡ ਡਿਫਸ ਬੰਦ ਕਰੋ","codex.review.wordDiffs.enable":"ਵਰਡ ਡਿਫਸ ਚਾਲੂ ਕਰੋ","codex.review.wrap.disable":"ਵਰਡ ਰੈਪ ਬੰਦ ਕਰੋ","codex.review.wrap.enable":"ਵਰਡ ਰੈਪ ਚਾਲੂ ਕਰੋ","codex.section.patch.missing":"ਇਸ ਸੈਕਸ਼ਨ ਦਾ ਪੈਚ ਤਿਆਰ ਨਹੀਂ ਹੋ ਸਕਿਆ।","codex.shell.collapse":"ਸ਼ੈੱਲ ਬੰਦ ਕਰੋ","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"ਸੈੱਲ ਕੰਟੈਂਟ ਕਾਪੀ ਕੀਤੇ","codex.shell.copy.copyTooltip":"ਸ਼ੈੱਲ ਕੰਟੈਂਟ ਕਾਪੀ ਕੀਤੇ","codex.shell.copyCommand":"ਕਮਾਂਡ ਕਾਪੀ ਕਰੋ","codex.shell.copyOutput":"ਆਉਟਪੁੱਟ ਕਾਪੀ ਕਰੋ","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"ਬੈਸ਼","codex.shell.expand":"ਸ਼ੈੱਲ ਵਧਾਓ","codex.shell.name":"ਸ਼ੈੱਲ","codex.shell.noOutput":"ਕੋਈ ਆਉਟਪੁੱਟ ਨਹੀਂ","codex.signInFailed.message":"ਸਾਈਨ-ਇਨ ਅਸਫਲ: {rawMessage}","codex.stories.toast.show":"ਟੋਸਟ ਦਿਖਾਉ","codex.stories.tooltip.basic":"ਇਹ ਇੱਕ ਟੂਲਟਿਪ ਹੈ","codex.stories.tooltip.hoverMe":"ਮੈਨੂੰ ਹੌਵਰ ਕਰੋ","codex.stories.tooltip.largerOffset":"ਇਸ ਟੂਲਟਿਪ ਕੋਲ ਇੱਕ ਵੱਡਾ ਆਫਸੈੱਟ ਹੈ","codex.stories.tooltip.offsetButton":"ਵੱਡਾ ਆਫਸੈੱਟ","codex.stories.tooltip.shortcutButton":"ਸ਼ਾਰਟਕੱਟ ਨਾਲ","codex.stories.tooltip.withShortcut":"ਟਰਮੀਨਲ ਟੋਗਲ ਕਰੋ","codex.taskRow.title":"ਨਵਾਂ ਥ੍ਰੈੱਡ","codex.taskRowLayout.confirm":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.threadFindBar.chatFilter":"ਚੈਟ ਖੋਜੋ","codex.threadFindBar.close":"ਲੱਭੋ ਨੂੰ ਬੰਦ ਕਰੋ","codex.threadFindBar.diffFilter":"ਡਿਫ਼ਜ਼ ਖੋਜੋ","codex.threadFindBar.label":"ਥ੍ਰੈਡ ਵਿੱਚ ਲੱਭੋ","codex.threadFindBar.nextResult":"ਅਗਲਾ ਨਤੀਜਾ","codex.threadFindBar.noResults":"0 ਨਤੀਜੇ","codex.threadFindBar.placeholder":"ਥ੍ਰੈਡ ਖੋਜੋ...","codex.threadFindBar.placeholder.extension":"ਥ੍ਰੈਡ ਖੋਜੋ...","codex.threadFindBar.placeholder.review":"ਡਿਫ਼ਜ਼ ਖੋਜੋ...","codex.threadFindBar.placeholder.review.extension":"ਡਿਫ਼ਜ਼ ਖੋਜੋ...","codex.threadFindBar.previousResult":"ਪਿਛਲਾ ਨਤੀਜਾ","codex.todoPlan.stepIndexPrefix":"{index}।","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# ਫਾਈਲ ਬਦਲੀ ਗਈ} other {# ਫਾਈਲਾਂ ਬਦਲੀਆਂ ਗਈਆਂ}}","codex.unifiedDiff.inlineLargeFile":"ਇਨਲਾਈਨ ਰੈਂਡਰ ਕਰਨ ਲਈ ਬਹੁਤ ਵੱਡਾ ਹੈ","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"ਅਣਕੀਤਾ ਕਰੋ","codex.unifiedDiff.revertPatchError":"ਬਦਲਾਵਾਂ ਨੂੰ ਵਾਪਸ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","codex.unifiedDiff.revertPatchSuccess":"ਬਦਲਾਅ ਵਾਪਸ ਕੀਤੇ ਗਏ","codex.unifiedDiff.reviewChangesSuffix":"ਬਦਲਾਅ","codex.unifiedDiff.reviewShort":"ਸਮੀਖਿਆ","codex.unifiedDiff.viewDiffTooltip":"ਸਮੀਖਿਆ","codex.upsellBanner.business.headline":"ਹੁਣੇ ਵਧੇਰੇ ਪਹੁੰਚ ਪ੍ਰਾਪਤ ਕਰਨ ਲਈ, ਆਪਣੇ ਪ੍ਰਬੰਧਕ ਨੂੰ ਇੱਕ ਬੇਨਤੀ ਭੇਜੋ ਜਾਂ {resetDate} ਤੱਕ ਉਡੀਕ ਕਰੋ।","codex.upsellBanner.cbp.headline":"ਹੁਣੇ ਵਧੇਰੇ ਪਹੁੰਚ ਪ੍ਰਾਪਤ ਕਰਨ ਲਈ, ਆਪਣੇ ਪ੍ਰਬੰਧਕ ਨੂੰ ਇੱਕ ਬੇਨਤੀ ਭੇਜੋ।","codex.upsellBanner.cta.addCredits":"ਕ੍ਰੈਡਿਟ ਸ਼ਾਮਲ ਕਰੋ","codex.upsellBanner.cta.upgradeAccount":"ਅੱਪਗ੍ਰੇਡ ਕਰੋ","codex.upsellBanner.cta.viewUsage":"ਵਰਤੋਂ ਦੇਖੋ","codex.upsellBanner.free.trialHeadline":"ਤੁਹਾਡੀ ਸੀਮਾ {resetDate} ‘ਤੇ ਰੀਸੈੱਟ ਹੋਵੇਗੀ। Codex ਵਰਤਣਾ ਜਾਰੀ ਰੱਖਣ ਲਈ ਅਤੇ GPT-5.3-Codex ਤੱਕ ਪਹੁੰਚ ਪ੍ਰਾਪਤ ਕਰਨ ਲਈ, ਅੱਜ ਹੀ ਆਪਣਾ ਪਲਸ ਦਾ ਮੁਫਤ ਟ੍ਰਾਇਲ ਸ਼ੁਰੂ ਕਰੋ। ।","codex.upsellBanner.freeOrGo.headline":"ਤੁਹਾਡੀ ਰੇਟ ਸੀਮਾ {resetDate} ਨੂੰ ਰੀਸੈੱਟ ਹੋਵੇਗੀ। Codex ਦੀ ਵਰਤੋਂ ਜਾਰੀ ਰੱਖਣ ਲਈ, ਅੱਜ ਹੀ Plus ’ਤੇ ਅੱਪਗ੍ਰੇਡ ਕਰੋ।","codex.upsellBanner.general.headline":"ਤੁਹਾਡੀ ਰੇਟ ਸੀਮਾ {resetDate} ਨੂੰ ਰੀਸੈੱਟ ਹੋਵੇਗੀ।","codex.upsellBanner.general.title":"ਤੁਹਾਡੇ ਕੋਡੈਕਸ ਸੁਨੇਹੇ ਖਤਮ ਹੋ ਗਏ ਹਨ","codex.upsellBanner.go.trialHeadline":"ਤੁਹਾਡੀ ਸੀਮਾ {resetDate} ‘ਤੇ ਰੀਸੈੱਟ ਹੋਵੇਗੀ। ਕੋਡੈਕਸ ਵਰਤਣਾ ਜਾਰੀ ਰੱਖਣ ਲਈ, ਅੱਜ ਹੀ ਆਪਣਾ ਪਲਸ ਦਾ ਮੁਫਤ ਟ੍ਰਾਇਲ ਸ਼ੁਰੂ ਕਰੋ। ।","codex.upsellBanner.plus.headline":"ਤੁਹਾਡੀ ਰੇਟ ਸੀਮਾ {resetDate} ਨੂੰ ਰੀਸੈੱਟ ਕੀਤੀ ਜਾਂਦੀ ਹੈ। Codex ਦੀ ਵਰਤੋਂ ਜਾਰੀ ਰੱਖਣ ਲਈ, ਅੱਜ ਹੀ ਕ੍ਰੈਡਿਟ ਸ਼ਾਮਲ ਕਰੋ ਜਾਂ ਪ੍ਰੋ ਵਿੱਚ ਅੱਪਗ੍ਰੇਡ ਕਰੋ।","codex.upsellBanner.pro.headline":"ਤੁਹਾਡੀ ਰੇਟ ਸੀਮਾ {resetDate} ਨੂੰ ਰੀਸੈੱਟ ਹੋਵੇਗੀ। ਹੁਣੇ ਹੀ Codex ਦੀ ਵਰਤੋਂ ਜਾਰੀ ਰੱਖਣ ਲਈ ਕ੍ਰੈਡਿਟ ਸ਼ਾਮਲ ਕਰੋ।","codex.userMessage.autoResolveSync":"ਟਕਰਾਵਾਂ ਨੂੰ ਸਵੈਚਲਿਤ ਤੌਰ 'ਤੇ ਹੱਲ ਕਰੋ","codex.userMessage.commentCount":"{count, plural, one {# ਟਿੱਪਣੀ} other {# ਟਿੱਪਣੀਆਂ}}","codex.userMessage.copiedAriaLabel":"ਕਾਪੀ ਕੀਤਾ ਗਿਆ","codex.userMessage.copiedTooltip":"ਕਾਪੀ ਕੀਤਾ ਗਿਆ","codex.userMessage.copyAriaLabel":"ਸੁਨੇਹਾ ਕਾਪੀ ਕਰੋ","codex.userMessage.copyTooltip":"ਕਾਪੀ ਕਰੋ","codex.userMessage.implementPlan":"ਪਲਾਨ ਲਾਗੂ ਕਰੋ","codex.userMessage.noContent":"(ਕੋਈ ਸਮੱਗਰੀ ਨਹੀਂ)","codex.userMessage.priorConversation":"ਪਿਛਲੀ ਗੱਲਬਾਤ ਦਾ ਹਵਾਲਾ ਲਓ","codex.userMessage.reviewMode":"ਸਮੀਖਿਆ ਮੋਡ","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} ਲਈ","codex.webSearch.summary.verb.completed":"ਵੈੱਬ ਖੋਜ ਕੀਤੀ","codex.webSearch.summary.verb.inProgress":"ਵੈੱਬ ਖੋਜ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ","codex.windowsInstallWslBanner.dismiss":"ਖਾਰਜ ਕਰੋ","codex.windowsInstallWslBanner.installWslCta":"sandbox ਚਾਲੂ ਕਰੋ","codex.windowsInstallWslBanner.learnMore":"ਵਧੇਰੇ ਜਾਣੋ","codex.windowsSandboxBanner.content":"ਏਜੰਟ ਮੋਡ ਫਾਈਲ ਸਿਸਟਮ ਅਤੇ ਨੈੱਟਵਰਕ ਪਹੁੰਚ ਨੂੰ ਸੀਮਤ ਕਰਨ ਲਈ Windows 'ਤੇ ਇੱਕ ਪ੍ਰਯੋਗਾਤਮਕ sandbox ਦੀ ਵਰਤੋਂ ਕਰਦਾ ਹੈ। {sandboxLink}","codex.windowsSandboxBanner.title":"ਏਜੰਟ ਮੋਡ ਲਈ sandbox ਚਾਲੂ ਕਰੋ","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows ਸੈਟਿੰਗਾਂ","codexUpgradeModal.body":"ਸਾਡਾ ਨਵੀਨਤਮ ਫਰੰਟੀਅਰ ਏਜੰਟਿਕ ਕੋਡਿੰਗ ਮਾਡਲ — ਆਮ ਤਕਨੀਕੀ ਕੰਮ ਵਿੱਚ ਵਧੇਰੇ ਸਮਝਦਾਰ, ਤੇਜ਼, ਅਤੇ ਵਧੇਰੇ ਸਮਰੱਥ। {link}","codexUpgradeModal.close":"ਬੰਦ ਕਰੋ","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"ਵਧੇਰੇ ਜਾਣੋ","codexUpgradeModal.title":"ਪੇਸ਼ ਹੈ GPT-5.3-Codex-Max","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex ਹੁਣੇ ਅਜਮਾਓ","codexUpgradeModal.useExistingModel":"ਮੌਜੂਦਾ ਮਾਡਲ ਨਾਲ ਜਾਰੀ ਰੱਖੋ","commentAttachments.numComments":"{count, plural, one {# ਟਿੱਪਣੀ} other {# ਟਿੱਪਣੀਆਂ}}","commentAttachments.removeAriaLabel":"ਟਿੱਪਣੀ ਅਟੈਚਮੈਂਟਾਂ ਹਟਾਓ","common.close":"ਬੰਦ ਕਰੋ","composer.addContext.openFilePickerError":"ਫਾਈਲ ਚੋਣਕਾਰ ਨੂੰ ਖੋਲ੍ਹਣ ਵਿੱਚ ਅਸਮਰੱਥ","composer.addContextDropdown.ariaLabel":"ਫਾਈਲਾਂ ਅਤੇ ਹੋਰ ਬਹੁਤ ਕੁਝ ਸ਼ਾਮਲ ਕਰੋ","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ਫਾਈਲਾਂ ਅਤੇ ਹੋਰ ਬਹੁਤ ਕੁਝ ਸ਼ਾਮਲ ਕਰੋ","composer.addPhotosAndFiles":"ਫੋਟੋਆਂ ਅਤੇ ਫਾਈਲਾਂ ਜੋੜੋ","composer.atMentionList.emptyQuery":"ਫਾਈਲਾਂ ਲਈ ਖੋਜ ਕਰਨ ਵਾਸਤੇ ਟਾਈਪ ਕਰੋ","composer.atMentionList.loading":"ਖੋਜ ਰਿਹਾ ਹੈ...","composer.atMentionList.noResults":"ਕੋਈ ਨਤੀਜੇ ਨਹੀਂ","composer.attemptsSelector.option":"{count, plural, one {# ਸੰਸਕਰਣ} other {# ਸੰਸਕਰਣ}}","composer.attemptsSelector.tooltip":"Codex ਵੱਲੋਂ ਕੀਤੇ ਜਾਣ ਲਈ ਸਮਾਂਤਰ ਕੋਸ਼ਿਸ਼ਾਂ ਦੀ ਗਿਣਤੀ","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"ਰੁਕੋ","composer.cloudFollowUp.cloud":"ਕਲਾਊਡ","composer.cloudFollowUp.local":"ਲੋਕਲ","composer.cloudFollowUp.whereRun":"ਇਸ ਫਾਲੋ-ਅੱਪ ਨੂੰ ਕਿੱਥੇ ਰਨ ਕਰਨਾ ਚਾਹੀਦਾ ਹੈ?","composer.cloudTaskCreationError":"ਕਲਾਊਡ ਕਾਰਜ ਬਣਾਉਣ ਵੇਲੇ ਤਰੁੱਟੀ","composer.cloudTaskError":"ਕਾਰਜ ਬਣਾਉਣ ਵਿੱਚ ਤਰੁੱਟੀ","composer.contextWindow.autoCompactionTooltipLine1":"ਕੋਡੈਕਸ ਆਟੋਮੈਟਿਕਲੀ ਹੀ ਆਪਣੇ ਸੰਦਰਭ ਨੂੰ ਸੁੰਘੇੜਦਾ ਹੈ।","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"ਸੰਦਰਭ ਵਿੰਡੋ:","composer.contextWindowUsageStatusFull":"{usage}% ਪੂਰਾ","composer.contextWindowUsageStatusLeft":"{usage}% ਵਰਤਿਆ ਗਿਆ ({remaining}% ਬਾਕੀ)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k ਟੋਕਨ ਵਰਤੇ ਗਏ","composer.customCliTooltip":"ਕਸਟਮ CLI ਐਗ਼ਜ਼ੀਕਿਊਟੇਬਲ ਦੀ ਵਰਤੋਂ ਕਰਦਿਆਂ","composer.dictation.aria":"ਡਿਕਟੇਟ ਕਰੋ","composer.dictation.cancel.aria":"ਲਿਖਵਾਉਣਾ ਬੰਦ ਕਰੋ","composer.dictation.cancel.tooltip":"ਲਿਖਵਾਉਣਾ ਬੰਦ ਕਰੋ","composer.dictation.startError":"ਡਿਕਟੇਸ਼ਨ ਸ਼ੁਰੂ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","composer.dictation.submit.aria":"ਟ੍ਰਾਂਸਕ੍ਰਾਈਬ ਕਰੋ ਅਤੇ ਭੇਜੋ","composer.dictation.submit.tooltip":"ਟ੍ਰਾਂਸਕ੍ਰਾਈਬ ਕਰੋ ਅਤੇ ਭੇਜੋ","composer.dictation.tooltip":"ਡਿਕਟੇਟ ਕਰਨ ਲਈ ਹੋਲਡ ਕਰੋ","composer.dictation.transcribeError":"ਆਡੀਓ ਟ੍ਰਾਂਸਕ੍ਰਾਈਬ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","composer.dictation.unsupported":"ਇਸ ਡਿਵਾਈਸ ’ਤੇ ਡਿਕਟੇਸ਼ਨ ਉਪਲਬਧ ਨਹੀਂ ਹੈ","composer.dropOverlay.holdShift":"ਡ੍ਰਾਪ ਕਰਨ ਲਈ {key} ਦੱਬ ਕੇ ਰੱਖੋ","composer.dropOverlay.shiftKey":"ਸ਼ਿਫਟ","composer.environmentSelector.createNew":"ਨਵਾਂ ਬਣਾਉ","composer.environmentSelector.error":"ਵਾਤਾਵਰਣਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਤਰੁੱਟੀ","composer.environmentSelector.goBack":"ਕੰਪੋਜ਼ਰ ਵੱਲ ਵਾਪਸ","composer.environmentSelector.title":"ਵਾਤਾਵਰਣ ਚੁਣੋ","composer.environmentSelector.tooltip":"ਇੱਕ ਕਲਾਊਡ ਵਾਤਾਵਰਣ ਚੁਣੋ","composer.feedbackSlashCommand.title":"ਫੀਡਬੈਕ","composer.filePicker.selectFile":"ਇੱਕ ਫਾਈਲ ਚੁਣੋ","composer.filePicker.selectFiles":"ਫਾਈਲਾਂ ਚੁਣੋ","composer.followerTooltip":"ਜਾਰੀ ਰੱਖਣ ਲਈ, ਓਸੇ ਵਿੰਡੋ ‘ਤੇ ਜਾਓ ਜਿੱਥੇ ਗੱਲਬਾਤ ਸ਼ੁਰੂ ਹੋਈ ਸੀ।","composer.footer.branchSwitch.checkoutError":"ਸ਼ਾਖਾ ਸਵਿੱਚ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {message}","composer.footer.branchSwitch.createAndCheckout":"ਨਵੀਂ ਸ਼ਾਖਾ ਬਣਾਓ ਅਤੇ ਚੈੱਕਆਉਟ ਕਰੋ","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"ਨਵੀਂ ਸ਼ਾਖਾ ਬਣਾਉਣ ਅਤੇ ਚੈੱਕਆਉਟ ਕਰਨ ਲਈ ਬਦਲਾਅ ਕਰੋ","composer.footer.branchSwitch.createBranchError":"ਸ਼ਾਖਾ ਬਣਾਉਣ ਵਿੱਚ ਅਸਫਲ : {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ਸ਼ਾਖਾ ਨਾਮ","composer.footer.branchSwitch.createDialog.branchExistsError":"ਸ਼ਾਖਾ ਪਹਿਲਾਂ ਹੀ ਮੌਜੂਦ ਹੈ।","composer.footer.branchSwitch.createDialog.close":"ਬੰਦ ਕਰੋ","composer.footer.branchSwitch.createDialog.createAndCheckout":"ਬਣਾਓ ਅਤੇ ਚੈੱਕਆਉਟ ਕਰੋ","composer.footer.branchSwitch.createDialog.placeholder":"ਨਵੀਂ-ਸ਼ਾਖਾ","composer.footer.branchSwitch.createDialog.title":"ਸ਼ਾਖਾ ਬਣਾਓ ਅਤੇ ਚੈੱਕਆਉਟ ਕਰੋ","composer.footer.branchSwitch.createDialog.trailingSlashError":"ਸ਼ਾਖਾ ਨਾਮ “/” ਨਾਲ ਸਮਾਪਤ ਨਹੀਂ ਹੋ ਸਕਦਾ।","composer.footer.branchSwitch.tooltip":"ਸ਼ਾਖਾ ਸਵਿੱਚ ਕਰੋ","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{fileCount, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}} ਵਿੱਚ ਬਦਲਾਅ ਕਮਿੱਟ ਕਰੋ, {branchName} ਨੂੰ ਚੈੱਕਆਉਟ ਕਰਨ ਲਈ।","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"ਵਚਨਬੱਧਤਾ","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}} ਵਿੱਚ ਬਦਲਾਅ, {branchName} ਨੂੰ ਚੈੱਕ ਆਉਟ ਕਰਨ ਲਈ।","composer.footer.branchSwitch.uncommittedDialog.cancel":"ਰੱਦ ਕਰੋ","composer.footer.branchSwitch.uncommittedDialog.commit":"ਸ਼ਾਖਾ ਕਮਿੱਟ ਕਰੋ ਅਤੇ ਸਵਿੱਚ ਕਰੋ...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"ਹੇਠ ਲਿਖੀਆਂ ਫਾਈਲਾਂ ਵਿੱਚ ਤੁਹਾਡੇ ਬਦਲਾਅ ਚੈੱਕਆਉਟ ਦੁਆਰਾ ਓਵਰਰਾਈਟ ਕੀਤੇ ਜਾਣਗੇ:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"ਜਾਰੀ ਰੱਖਣ ਲਈ ਕਿਰਪਾ ਕਰਕੇ ਕਮਿੱਟ ਕਰੋ","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ਚੁਣੀ ਗਈ ਸ਼ਾਖਾ","composer.footer.branchSwitch.uncommittedDialog.title":"ਸ਼ਾਖਾ ਸਵਿੱਚ ਕਰਨ ਲਈ ਬਦਲਾਅ ਕਮਿੱਟ ਕਰੋ","composer.footer.branchSwitch.uncommittedSummaryPrefix":"ਗੈਰ-ਕਮਿੱਟ ਕੀਤੇ: {fileCount, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}}","composer.forkSlashCommand.description":"ਇਸ ਥ੍ਰੈੱਡ ਨੂੰ ਸਥਾਨਕ ਜਾਂ ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਫੋਰਕ ਕਰੋ।","composer.forkSlashCommand.option.local.description":"ਨਵੇਂ ਲੋਕਲ ਥ੍ਰੈਡ ਵਿੱਚ ਜਾਰੀ ਰੱਖੋ","composer.forkSlashCommand.option.local.title":"ਲੋਕਲ ਵਿੱਚ ਫੋਰਕ","composer.forkSlashCommand.option.worktree.description":"ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਜਾਰੀ ਰੱਖੋ","composer.forkSlashCommand.option.worktree.title":"ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਫੋਰਕ ਕਰੋ","composer.forkSlashCommand.title":"ਫੋਰਕ","composer.ideContextIndicator":"IDE ਸੰਦਰਭ","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE ਤੋਂ ਸੰਦਰਭ ਸ਼ਾਮਲ ਕਰੋ","composer.ideContextIndicator.tooltipToggle":"ਟੋਗਲ ਲਈ","composer.ideContextSlashCommand.disableDescription":"IDE ਸੰਦਰਭ ਬੰਦ ਕਰੋ","composer.ideContextSlashCommand.enableDescription":"ਆਪਣੇ IDE ਤੋਂ ਮੌਜੂਦਾ ਚੋਣ, ਖੁੱਲ੍ਹੀਆਂ ਫਾਈਲਾਂ ਅਤੇ ਹੋਰ ਸੰਦਰਭ ਸ਼ਾਮਲ ਕਰੋ।","composer.ideContextSlashCommand.title":"IDE ਸੰਦਰਭ","composer.imageInputsUnsupported":"ਇਹ ਮਾਡਲ ਤਸਵੀਰ ਇਨਪੁੱਟ ਦਾ ਸਮਰਥਨ ਨਹੀਂ ਕਰਦਾ। ਇੱਕ ਵੱਖਰਾ ਮਾਡਲ ਅਜ਼ਮਾਓ।","composer.imageUploadFailed":"ਤਸਵੀਰ ਅੱਪਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","composer.includeIdeContextDropdown":"IDE ਸੰਦਰਭ ਸ਼ਾਮਲ ਕਰੋ","composer.includeIdeContextDropdown.ariaLabel":"IDE ਸੰਦਰਭ ਸ਼ਾਮਲ ਕਰੋ","composer.localCwdDropdown.addWorkspaceRoot":"ਨਵਾਂ ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","composer.localCwdDropdown.noActiveRoot":"ਆਪਣਾ ਪ੍ਰੋਜੈਕਟ ਚੁਣੋ","composer.localCwdDropdown.noResults":"ਕੋਈ ਫੋਲਡਰ ਨਹੀਂ ਮਿਲੇ","composer.localCwdDropdown.title":"ਆਪਣਾ ਪ੍ਰੋਜੈਕਟ ਚੁਣੋ","composer.localTaskError":"ਗੱਲਬਾਤ ਸ਼ੁਰੂ ਕਰਨ ਵਿੱਚ ਤਰੁੱਟੀ","composer.mcpSlashCommand.description":"MCP ਸਰਵਰ ਸਥਿਤੀ ਦਿਖਾਓ","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ਪ੍ਰਮਾਣਿਤ ਨਹੀਂ","composer.mcpStatus.authOauth":"ਪ੍ਰਮਾਣਿਤ (OAuth)","composer.mcpStatus.authToken":"ਪ੍ਰਮਾਣਿਤ (API key)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"ਬੰਦ ਕਰੋ","composer.mcpStatus.disabled":"ਬੰਦ ਕੀਤਾ","composer.mcpStatus.emptyLabel":"ਸਰਵਰ:","composer.mcpStatus.emptyValue":"ਕੋਈ MCP ਸਰਵਰ ਕੌਨਫਿਗਰ ਨਹੀਂ ਕੀਤਾ","composer.mcpStatus.enabled":"ਸਮਰੱਥ ਕੀਤਾ ਗਿਆ","composer.mcpStatus.errorLabel":"ਸਥਿਤੀ:","composer.mcpStatus.errorValue":"MCP ਸਥਿਤੀ ਨੂੰ ਲੋਡ ਕਰਨਾ ਅਸਮਰੱਥ","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ਏਜੰਟ","composer.mode.agentMode.auto.dropdownLabel":"ਏਜੰਟ","composer.mode.agentMode.auto.optionLabel":"ਏਜੰਟ","composer.mode.agentMode.changePermission":"ਮੋਡ ਸਵਿੱਚ ਕਰੋ","composer.mode.agentMode.custom":"ਕਸਟਮ","composer.mode.agentMode.custom.dropdownLabel":"ਕਸਟਮ","composer.mode.agentMode.custom.option":"ਕਸਟਮ (config.toml)","composer.mode.agentMode.custom.optionLabel":"ਕਸਟਮ (config.toml)","composer.mode.agentMode.customInfo.cancel":"ਰੱਦ ਕਰੋ","composer.mode.agentMode.customInfo.cli":"ਤੁਸੀਂ ਉਹਨਾਂ ਸੈਟਿੰਗਾਂ ਨੂੰ CLI ਤੋਂ ਜਾਂ ਫਾਈਲ ਨੂੰ ਸਿੱਧਾ ਐਡਿਟ ਕਰਕੇ ਐਡਜਸਟ ਕਰ ਸਕਦੇ ਹੋ।","composer.mode.agentMode.customInfo.confirm":"ਕਸਟਮ ਮੋਡ ਦੀ ਵਰਤੋਂ ਕਰੋ","composer.mode.agentMode.customInfo.description":"ਕਸਟਮ ਮੋਡ ਪਰਿਭਾਸ਼ਿਤ ਪ੍ਰਵਾਨਗੀ ਅਤੇ ਸੈਂਡਬੌਕਸ ਨੀਤੀਆਂ ਨੂੰ ਲਾਗੂ ਕਰਦਾ ਹੈ ਤੁਹਾਡੇ <link>config.toml</link> ਫਾਈਲ।","composer.mode.agentMode.customInfo.docs":"ਇਸ ਵਿੱਚ ਪ੍ਰਵਾਨਗੀ ਅਤੇ ਸੈਂਡਬੌਕਸ ਨੀਤੀਆਂ ਨੂੰ ਕੌਨਫਿਗਰ ਕਰਨ ਬਾਰੇ ਹੋਰ ਜਾਣੋ <link>ਐਗਜ਼ੀਕਿਊਸ਼ਨ ਵਾਤਾਵਰਣ ਦਸਤਾਵੇਜ਼</link>.","composer.mode.agentMode.customInfo.refresh":"ਕੋਈ ਵੀ ਬਦਲਾਅ ਅਗਲੀ ਵਾਰ ਏਜੰਟ ਦੇ ਚੱਲਣ 'ਤੇ ਲਾਗੂ ਹੋਵੇਗਾ।","composer.mode.agentMode.customInfo.title":"ਕਸਟਮ ਮੋਡ ਕਿੰਝ ਕੰਮ ਕਰਦਾ ਹੈ","composer.mode.agentMode.fullAccess":"ਏਜੰਟ (ਪੂਰੀ ਪਹੁੰਚ)","composer.mode.agentMode.fullAccess.dropdownLabel":"ਏਜੰਟ (ਪੂਰੀ ਪਹੁੰਚ)","composer.mode.agentMode.fullAccess.optionLabel":"ਏਜੰਟ (ਪੂਰੀ ਪਹੁੰਚ)","composer.mode.agentMode.fullAccessConfirm.caution":"ਪੂਰੀ ਪਹੁੰਚ ਨੂੰ ਚਾਲੂ ਕਰਨ ਸਮੇਂ ਸਾਵਧਾਨੀ ਵਰਤੋ। ਇਹ ਡੇਟਾ ਦੇ ਨੁਕਸਾਨ, ਲੀਕ, ਜਾਂ ਅਣਕਿਆਸੇ ਵਿਵਹਾਰ ਦੇ ਜੋਖਮ ਨੂੰ ਕਾਫ਼ੀ ਵਧਾ ਦਿੰਦਾ ਹੈ।","composer.mode.agentMode.fullAccessConfirm.confirm":"ਹਾਂ, ਜਾਰੀ ਰੱਖੋ","composer.mode.agentMode.fullAccessConfirm.description":"ਜਦੋਂ Codex ਪੂਰੀ ਪਹੁੰਚ ਨਾਲ ਚੱਲਦਾ ਹੈ, ਤਾਂ ਇਹ ਤੁਹਾਡੇ ਕੰਪਿਊਟਰ 'ਤੇ ਕਿਸੇ ਵੀ ਫਾਈਲ ਨੂੰ ਐਡਿਟ ਕਰ ਸਕਦਾ ਹੈ ਅਤੇ ਤੁਹਾਡੀ ਮਨਜ਼ੂਰੀ ਤੋਂ ਬਿਨਾਂ, ਨੈੱਟਵਰਕ ਨਾਲ ਕਮਾਂਡਾਂ ਚਲਾ ਸਕਦਾ ਹੈ।","composer.mode.agentMode.fullAccessConfirm.goBack":"ਰੱਦ ਕਰੋ","composer.mode.agentMode.fullAccessConfirm.title":"ਪੂਰੀ ਪਹੁੰਚ ਚਾਲੂ ਕਰਨੀ ਹੈ?","composer.mode.agentMode.readOnly":"ਚੈਟ","composer.mode.agentMode.readOnly.dropdownLabel":"ਚੈਟ","composer.mode.agentMode.readOnly.optionLabel":"ਚੈਟ","composer.mode.agentMode.tooltip":"ਮੋਡ ਸਵਿੱਚ ਕਰੋ","composer.mode.agentMode.tooltip.auto":"ਫਾਈਲਾਂ ਨੂੰ ਪੜ੍ਹਦਾ ਅਤੇ ਐਡਿਟ ਕਰਦਾ ਹੈ ਅਤੇ ਕਮਾਂਡਾਂ ਚਲਾਉਂਦਾ ਹੈ।","composer.mode.agentMode.tooltip.custom":"config.toml ਵਿੱਚ ਪਰਿਭਾਸ਼ਿਤ ਨਵੀਨਤਮ ਮਨਜ਼ੂਰੀ ਅਤੇ ਸੈਂਡਬੌਕਸ ਨੀਤੀਆਂ ਦੀ ਵਰਤੋਂ ਕਰੋ।","composer.mode.agentMode.tooltip.fullAccess":"Codex ਇਸ ਪ੍ਰੋਜੈਕਟ ਤੋਂ ਬਾਹਰ ਫਾਈਲਾਂ ਨੂੰ ਸੰਪਾਦਿਤ ਕਰ ਸਕਦਾ ਹੈ ਅਤੇ ਨੈੱਟਵਰਕ ਪਹੁੰਚ ਨਾਲ ਕਮਾਂਡ ਚਲਾ ਸਕਦਾ ਹੈ। ਵਰਤੋਂ ਕਰਦੇ ਸਮੇਂ ਸਾਵਧਾਨੀ ਵਰਤੋ।","composer.mode.agentMode.tooltip.readOnly":"ਫਾਈਲਾਂ ਐਡਿਟ ਕਰਨ ਅਤੇ ਕਮਾਂਡਾਂ ਰਨ ਕਰਨ ਲਈ ਮਨਜ਼ੂਰੀ ਦੀ ਲੋੜ ਹੁੰਦੀ ਹੈ","composer.mode.cloud.tooltip":"ਕਲਾਊਡ ਵਾਤਾਵਰਣ ਵਿੱਚ ਕੰਮ ਕਰੋ","composer.mode.contactAdmin":"ਵੱਧ ਪਹੁੰਚ ਪ੍ਰਾਪਤ ਕਰਨ ਲਈ, ਆਪਣੇ ਪ੍ਰਬੰਧਕ ਨਾਲ ਸੰਪਰਕ ਕਰੋ","composer.mode.local":"ਲੋਕਲ","composer.mode.local.learnMore":"ਵਧੇਰੇ ਜਾਣੋ","composer.mode.local.model.custom":"ਕਸਟਮ","composer.mode.local.model.loadingModel":"ਮਾਡਲ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","composer.mode.local.model.selecrReasoningEffort":"ਰੀਜ਼ਨਿੰਗ ਚੁਣੋ","composer.mode.local.model.selectModel":"ਮਾਡਲ ਚੁਣੋ","composer.mode.local.model.tooltip":"ਮਾਡਲ ਚੁਣੋ","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"ਉੱਚਾ","composer.mode.local.reasoning.low.label":"ਨੀਵਾਂ","composer.mode.local.reasoning.medium.label":"ਮੱਧਮ","composer.mode.local.reasoning.minimal.label":"ਘੱਟ ਤੋਂ ਘੱਟ","composer.mode.local.reasoning.none.label":"ਕੋਈ ਨਹੀਂ","composer.mode.local.reasoning.xhigh.label":"ਵਧੇਰੇ ਉੱਚਾ","composer.mode.localRemoteWhereRun":"ਚੁਣੋ ਕਿ ਕਾਰਜ ਨੂੰ ਕਿੱਥੇ ਰਨ ਕਰਨਾ ਹੈ","composer.mode.newTask.header":"ਵਿੱਚ ਜਾਰੀ ਰੱਖੋ","composer.mode.rateLimit.day":"{days}ਦਿ","composer.mode.rateLimit.heading":"ਦਰ ਸੀਮਾਵਾਂ ਬਾਕੀ","composer.mode.rateLimit.hour":"{hours}ਘੰ","composer.mode.rateLimit.minute":"{minutes}ਮਿੰ","composer.mode.rateLimit.modelSectionLabel":"{modelName} ਸੀਮਾ:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ਹਫ਼ਤਾਵਾਰੀ ਸੀਮਾ} other {{weeks} ਹਫ਼ਤਾਵਾਰੀ ਸੀਮਾ}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ਹਫਤਾਵਾਰੀ} other {{weeks} ਹਫਤਾ}}","composer.mode.remote.connectToCloud":"Codex ਵੈੱਬ ਨੂੰ ਕੁਨੈਕਟ ਕਰੋ","composer.mode.remote.connectToCloudDisabledTooltip":"ਕਲਾਉਡ 'ਤੇ ਕਾਰਜ ਭੇਜਣ ਨੂੰ ਚਾਲੂ ਕਰਨ ਲਈ ਕੋਡੈਕਸ ਵੈੱਬ ਰਾਹੀਂ ਇੱਕ ਵਾਤਾਵਰਣ ਸੈੱਟ ਅਪ ਕਰੋ।","composer.mode.remote.selectEnvironment":"ਵਾਤਾਵਰਣ ਚੁਣੋ","composer.mode.remote.sendToCloud":"ਕਲਾਊਡ ’ਤੇ ਭੇਜੋ","composer.mode.remote.setupViaWeb":"Codex ਵੈੱਬ ਰਾਹੀਂ ਵਾਤਾਵਰਣ ਸੈੱਟਅੱਪ ਕਰੋ","composer.mode.runInCloud":"ਕਲਾਊਡ","composer.mode.runInCloudWithEnvironment":"ਕਲਾਊਡ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ਕਲਾਊਡ ਵਾਤਾਵਰਣ ਵਿੱਚ ਕੰਮ ਕਰੋ","composer.mode.segmentedToggle.local.tooltip":"ਆਪਣੀ ਲੋਕਲ ਪ੍ਰੋਜੈਕਟ ਵਿੱਚ ਕੰਮ ਕਰੋ","composer.mode.segmentedToggle.worktree.tooltip":"ਸਮਾਂਤਰ ਵਰਕਟਰੀ ਵਿੱਚ ਕੰਮ ਕਰੋ","composer.mode.upgradeToPlus":"ਪਲੱਸ ‘ਤੇ ਅੱਪਗ੍ਰੇਡ ਕਰੋ","composer.mode.upgradeToPro":"ਪ੍ਰੋ ਲਈ ਅੱਪਗ੍ਰੇਡ ਕਰੋ","composer.mode.workLocally":"ਲੋਕਲ ਪ੍ਰੋਜੈਕਟ","composer.mode.workLocally.currentBranchFallback":"ਤੁਹਾਡੀ ਸ਼ਾਖਾ","composer.mode.workLocally.tooltip":"{branchName} ਵਿੱਚ ਕੰਮ ਕਰੋ","composer.mode.worktree":"ਨਵਾਂ ਵਰਕਟਰੀ","composer.mode.worktree.submoduleWarning":"ਇਸ ਰੀਪੌ ਵਿੱਚ ਗਿਟ ਸਬਮੋਡਿਊਲ ਹਨ। ਵਰਕਟਰੀ ਬਣਾਉਣਾ ਅਸਫਲ ਹੋ ਸਕਦਾ ਹੈ।","composer.mode.worktree.tooltip":"ਸਮਾਨਾਂਤਰ ਕੰਮ ਕਰਨ ਲਈ ਆਪਣੇ ਸਥਾਨਕ ਪ੍ਰੋਜੈਕਟ ਦੀ ਇੱਕ ਕਾਪੀ ਬਣਾਓ","composer.mode.worktreeSegment":"ਵਰਕਟਰੀ","composer.modelChangeDuringConversationWarning.toast":"ਗੱਲਬਾਤ ਦੇ ਵਿਚਕਾਰ ਮਾਡਲ ਬਦਲਣ ਨਾਲ ਪ੍ਰਦਰਸ਼ਨ ਘੱਟ ਜਾਵੇਗਾ।","composer.newChat.heading.browser":"ਸਾਨੂੰ ਅੱਗੇ ਕੀ ਕੋਡ ਕਰਨਾ ਚਾਹੀਦਾ ਹੈ?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex config.toml ਵਿੱਚ ਦਰਸਾਈ ਅਨੁਮਤੀ ਦੀ ਵਰਤੋਂ ਕਰਦਾ ਹੈ।","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ਕੋਲ ਤੁਹਾਡੇ ਕੰਪਿਊਟਰ ਤੱਕ ਪੂਰੀ ਪਹੁੰਚ ਹੈ (ਉੱਚ ਜੋਖਮ)","composer.permissionsDropdown.custom.label":"ਕਸਟਮ (config.toml)","composer.permissionsDropdown.custom.optionLabel":"ਕਸਟਮ (config.toml)","composer.permissionsDropdown.default.label":"ਡਿਫਾਲਟ ਮਨਜ਼ੂਰੀਆਂ","composer.permissionsDropdown.default.optionLabel":"ਡਿਫਾਲਟ ਮਨਜ਼ੂਰੀਆਂ","composer.permissionsDropdown.default.tooltip":"Codex ਆਪਣੇ ਆਪ ਹੀ ਇੱਕ ਸੈਂਡਬੌਕਸ ਵਿੱਚ ਕਮਾਂਡਾਂ ਚਲਾਉਂਦਾ ਹੈ।","composer.permissionsDropdown.disabled.requirements":"ਮਨਜ਼ਰੀਆਂ requirements.toml ਵੱਲੋਂ ਲੌਕ ਹਨ","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml ਵੱਲੋਂ ਸੰਪੂਰਨ ਪਹੁੰਚ ਅਸਮਰੱਥਿਤ ਹੈ","composer.permissionsDropdown.fullAccess.label":"ਪੂਰੀ ਪਹੁੰਚ","composer.permissionsDropdown.fullAccess.optionLabel":"ਪੂਰੀ ਪਹੁੰਚ","composer.permissionsDropdown.trigger.tooltip":"ਮਨਜ਼ੂਰੀਆਂ ਬਦਲੋ","composer.personalitySlashCommand.description.friendly":"ਨਿੱਘਾ, ਸਹਿਯੋਗੀ, ਅਤੇ ਮਦਦਗਾਰ","composer.personalitySlashCommand.description.pragmatic":"ਸੰਖੇਪ, ਕਾਰਜ-ਕੇਂਦ੍ਰਿਤ, ਅਤੇ ਸਿੱਧਾ","composer.personalitySlashCommand.label.friendly":"ਦੋਸਤਾਨਾ","composer.personalitySlashCommand.label.pragmatic":"ਬੱਸ ਨਤੀਜੇ ਨਾਲ ਸਰੋਕਾਰ ਵਾਲਾ","composer.personalitySlashCommand.notApplicableSuffix":"(ਮੌਜੂਦਾ ਮਾਡਲ ’ਤੇ ਲਾਗੂ ਨਹੀਂ ਹੁੰਦਾ)","composer.personalitySlashCommand.title":"ਵਿਅਕਤੀਤਤਵ","composer.placeholder.cloudFollowUp.directFollowUp":"ਇਸ ਕਲਾਊਡ ਕਾਰਜ ‘ਤੇ ਹੀ ਫੌਲੋ-ਅੱਪ ਲਵੋ","composer.placeholder.cloudFollowUp.local":"ਇਕ ਨਵਾਂ ਸਥਾਨਕ ਕਾਰਜ ਬਣਾਉ ਜੋ ਇਸ ਕਲਾਊਡ ਕਾਰਜ ਦਾ ਹਵਾਲਾ ਲੈਂਦਾ ਹੈ।","composer.placeholder.cloudFollowUp.workingTree":"ਇੱਕ ਨਵਾਂ ਕਲਾਉਡ ਕਾਰਜ ਬਣਾਉ ਜਿਸ ਵਿੱਚ ਤੁਹਾਡਾ ਮੌਜੂਦਾ ਕੋਡ ਸ਼ਾਮਲ ਹੋਵੇ ਅਤੇ ਉਹ ਕਾਰਜ ਇਸ ਕਾਰਜ ਦਾ ਹਵਾਲਾ ਦੇਵੇਗਾ।","composer.placeholder.localFollowUp.cloud":"ਨਵੇਂ ਕਲਾਊਡ ਕਾਰਜ ‘ਤੇ ਫੌਲੋ-ਅੱਪ ਲਵੋ","composer.placeholder.localFollowUp.locally":"ਫੌਲੋ-ਅੱਪ ਬਦਲਾਵਾਂ ਬਾਬਤ ਆਖੋ","composer.placeholder.newTask.cloud":"Codex ਨੂੰ ਕਲਾਊਡ ਵਿੱਚ ਕੁਝ ਵੀ ਕਰਨ ਲਈ ਕਹੋ","composer.placeholder.newTask.doAnything":"Codex ਨੂੰ ਕੁਝ ਵੀ ਕਰਨ ਲਈ ਪੁੱਛੋ","composer.placeholder.newTask.locally":"Codex ਨੂੰ ਕੁਝ ਵੀ ਪੁੱਛੋ, @ ਫਾਈਲਾਂ ਸ਼ਾਮਲ ਕਰਨ ਲਈ, / ਕਮਾਂਡਾ ਲਈ","composer.planModeDropdown":"ਪਲਾਨ ਮੋਡ","composer.planModeDropdown.ariaLabel":"ਪਲਾਨ ਮੋਡ","composer.planModeIndicator":"ਯੋਜਨਾ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex ਨਾਲ ਇੱਕ ਪਲਾਨ ਤਿਆਰ ਕਰੋ","composer.planModeIndicator.tooltipToggle":"ਟੋਗਲ ਲਈ","composer.planSlashCommand.disableDescription":"ਪਨਾਲ ਮੋਡ ਬੰਦ ਕਰੋ","composer.planSlashCommand.enableDescription":"ਪਲਾਨ ਮੋਡ ਬੰਦ ਕਰੋ","composer.planSlashCommand.title":"ਪਲਾਨ ਮੋਡ","composer.priorContext.label":"ਪਿਛਲਾ ਸੰਦਰਭ","composer.priorContext.removeAriaLabel":"ਪਿਛਲੇ ਸੰਦਰਭ ਨੂੰ ਹਟਾਓ","composer.queuedMessage.delete":"ਕਿਊ ਵਿਚਲੇ ਸੁਨੇਹੇ ਡਿਲੀਟ ਕਰੋ","composer.queuedMessage.edit":"ਸੁਨੇਹਾ ਸੰਪਾਦਿਤ ਕਰੋ","composer.queuedMessage.more":"ਕਿਊ ਕੀਤੇ ਸੁਨੇਹਿਆਂ ਲਈ ਕਾਰਵਾਈਆਂ","composer.queuedMessage.sendNow":"ਸਟੀਰ","composer.queuedMessage.sendNowTooltip":"ਕੰਮ ਵਿੱਚ ਵਿਘਨ ਪਾਏ ਬਗੈਰ ਹੁਣੇ ਭੇਜੋ","composer.queuedMessage.turnOff":"ਕਿਊ ਕਰਨਾ ਬੰਦ ਕਰੋ","composer.reasoningEffort.local.reasoning.tooltip":"ਰੀਜ਼ਨਿੰਗ ਕੋਸ਼ਿਸ਼ ਚੁਣੋ","composer.remote.branchStartingPoint":"ਇਸ ਕਾਰਜ ਨੂੰ ਕਿਹੜੀ ਸ਼ਾਖਾ ਤੋਂ ਸ਼ੁਰੂ ਕਰਨਾ ਚਾਹੀਦਾ ਹੈ?","composer.remote.branchesSectionHeading":"ਸ਼ਾਖਾਵਾਂ","composer.remote.currentEditsSuffix.followUp":"ਇਕ ਨਵਾਂ ਕਾਰਜ ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ ਜੋ ਇਸ ਕਲਾਊਡ ਕਾਰਜ ਦਾ ਹਵਾਲਾ ਲੈਂਦਾ ਹੈ।","composer.remote.currentEditsSuffix.useLocal":"ਲੋਕਲ ਕੋਡ ਬਦਲਾਵਾਂ ਨਾਲ","composer.remote.directFollowUp":"ਲੋਕਲ ਬਦਲਾਵਾਂ ਦੀ ਵਰਤੋਂ ਨਾ ਕਰੋ","composer.remote.errorLoadingBranches":"ਬ੍ਰਾਂਚਾਂ ਲੋਡ ਕਰਨ ਵਿੱਚ ਤਰੁੱਟੀ","composer.remote.fromBranch":"{branch} ਤੋਂ","composer.remote.fromCurrentBranch":"{branch} ਤੋਂ (ਮੌਜੂਦਾ)","composer.remote.loadingMoreBranches":"ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","composer.remote.localFileStateHeading":"ਲੋਕਲ ਫਾਈਲ ਸਟੇਟ","composer.remote.localWorkingTree":"ਲੋਕਲ ਬਦਲਾਵਾਂ ਦੀ ਵਰਤੋਂ ਕਰੋ","composer.remote.startingPoint":"ਇਸ ਕਾਰਜ ਨੂੰ ਕਿਹੜੇ ਕੋਡ ਤੋਂ ਸ਼ੁਰੂ ਕਰਨਾ ਚਾਹੀਦਾ ਹੈ?","composer.reviewMode.branches.error":"ਸ਼ਾਖਾਵਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","composer.reviewMode.branches.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","composer.reviewMode.gitRoot.error":"ਗਿਟ ਰੂਟ ਨਹੀਂ ਮਿਲੀ","composer.reviewMode.option.baseBranch.simple":"ਮੂਲ ਸ਼ਾਖਾ ਵਿਰੁੱਧ ਤੁਲਨਾ ਕਰੋ","composer.reviewMode.option.unstaged.simple":"ਅਣ-ਕਮਿੱਟ ਕੀਤੇ ਬਦਲਾਵਾਂ ਦੀ ਸਮੀਖਿਆ ਕਰੋ","composer.reviewMode.quickReviewError":"ਕੋਡ ਸਮੀਖਿਆ ਨੂੰ ਸ਼ੁਰੂ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","composer.reviewMode.title":"ਕੋਡ ਸਮੀਖਿਆ","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml ਵੱਲੋਂ ਸੰਪੂਰਨ ਪਹੁੰਚ ਅਸਮਰੱਥਿਤ ਹੈ","composer.sandboxButton.windowsSandboxDialog.content":"ਕੋਡੈਕਸ ਫਾਈਲ ਸਿਸਟਮ ਅਤੇ ਨੈੱਟਵਰਕ ਪਹੁੰਚ ਨੂੰ ਸੀਮਤ ਕਰਨ ਲਈ ਵਿੰਡੋਜ਼ 'ਤੇ ਪ੍ਰਯੋਗਾਤਮਕ ਸੈਂਡਬੌਕਸ ਦੀ ਵਰਤੋਂ ਕਰ ਸਕਦਾ ਹੈ।{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"ਵਿੰਡੋਜ਼ ਸੈਂਡਬੌਕਸ ਚਾਲੂ ਕਰਨਾ ਹੈ?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"ਸਿਰਫ ਪੜ੍ਹਨ ਲਈ","composer.searchEnvironments":"ਵਾਤਾਵਰਣ ਦੀ ਖੋਜ ਕਰੋ","composer.skillMentionList.app":"ਐਪ","composer.skillMentionList.loading":"ਹੁਨਰ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","composer.skillMentionList.noResults":"ਕੋਈ ਹੁਨਰ ਨਹੀਂ ਲੱਭਿਆ ਗਿਆ","composer.slashCommands.cloudEnvironment.title":"ਕਲਾਊਡ ਵਾਤਾਵਰਣ","composer.slashCommands.dialogLabel":"ਸਲੈਸ਼ ਕਮਾਂਡ ਮੀਨੂੰ","composer.slashCommands.dialogTitle":"ਸਲੈਸ਼ ਕਮਾਂਡਾਂ","composer.slashCommands.disabledTooltip":"ਸਲੈਸ਼ ਕਮਾਂਡਾਂ ਦੀ ਵਰਤੋਂ ਕਰਨ ਲਈ ਨਵੀਂ ਗੱਲਬਾਤ ਸ਼ੁਰੂ ਕਰੋ","composer.slashCommands.inputPlaceholder":"ਖੋਜੋ","composer.slashCommands.noResults":"ਕੋਈ ਕਮਾਂਡ ਨਹੀਂ","composer.slashCommands.skillsGroup":"ਹੁਨਰ","composer.slashCommands.tooltip":"ਸਲੈਸ਼ ਕਮਾਂਡਾਂ ਨੂੰ ਬ੍ਰਾਊਜ਼ ਕਰੋ","composer.status.close":"ਬੰਦ ਕਰੋ","composer.statusPlain.alertLabel":"ਚੇਤਾਵਨੀ:","composer.statusPlain.alertValue":"{window} ’ਤੇ {remaining}% ਬਾਕੀ","composer.statusPlain.contextLabel":"ਸੰਦਰਭ","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ਵਰਤਿਆ / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% ਬਾਕੀ","composer.statusPlain.heading":"ਸਥਿਤੀ","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ਸੀਮਾ:","composer.statusPlain.rateLimitDays":"{count}ਦ ਸੀਮਾ","composer.statusPlain.rateLimitFallbackLabel":"ਦਰ ਸੀਮਾ:","composer.statusPlain.rateLimitHours":"{count}ਘ ਸੀਮਾ","composer.statusPlain.rateLimitLabelBase":"ਦਰ ਸੀਮਾ","composer.statusPlain.rateLimitMinutes":"{count}ਮ ਸੀਮਾ","composer.statusPlain.rateLimitPercent":"{remaining}% ਬਾਕੀ","composer.statusPlain.rateLimitReset":"{time} ਨੂੰ ਰੀਸੈੱਟ ਹੁੰਦਾ ਹੈ","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"ਰੀਸੈੱਟ ਸਮਾਂ ਉਪਲਬਧ ਨਹੀਂ","composer.statusPlain.rateLimitUnavailable":"ਉਪਲਬਧ ਨਹੀਂ ਹੈ","composer.statusPlain.sessionCopiedAriaLabel":"ਸੈਸ਼ਨ id ਕਾਪੀ ਕੀਤੀ","composer.statusPlain.sessionCopiedTooltip":"ID ਕਾਪੀ ਕੀਤੀ","composer.statusPlain.sessionCopyAriaLabel":"ਸੈਸ਼ਨ id ਕਾਪੀ ਕੀਤੀ","composer.statusPlain.sessionCopyTooltip":"ID ਕਾਪੀ ਕੀਤੀ","composer.statusPlain.sessionLabel":"ਸੈਸ਼ਨ:","composer.statusSlashCommand.description":"ਥ੍ਰੈਡ id, ਸੰਦਰਭ ਵਰਤੋਂ ਅਤੇ ਦਰ ਸੀਮਾ ਦਿਖਾਓ","composer.statusSlashCommand.title":"ਸਥਿਤੀ","composer.submit.blockedDialogOk":"ਠੀਕ ਹੈ","composer.submit.blockedDialogTitle":"ਸੁਨੇਹਾ ਭੇਜਣ ਵਿੱਚ ਅਸਮਰੱਥ","composer.submit.emptyMessage":"ਸ਼ੁਰੂ ਕਰਨ ਲਈ ਇੱਕ ਸੁਨੇਹਾ ਦਰਜ ਕਰੋ","composer.submit.imageInputsUnsupported":"ਇਸ ਸੁਨੇਹੇ ਨੂੰ ਭੇਜਣ ਲਈ ਤਸਵੀਰਾਂ ਹਟਾਓ ਜਾਂ ਮਾਡਲ ਬਦਲੋ।","composer.submit.loadingLocalConfig":"ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","composer.submit.missingCloudConfig":"ਤੁਹਾਨੂੰ ਇੱਕ ਕਲਾਊਡ ਵਾਤਾਵਰਣ ਚੁਣਨਾ ਹੋਵੇਗਾ","composer.submit.missingCloudTurn":"ਇਸ ਕਾਰਜ ’ਤੇ ਫਾਲੋ-ਅੱਪ ਨਹੀਂ ਕੀਤਾ ਜਾ ਸਕਿਆ","composer.submit.noWorkspace":"ਕੋਡੈਕਸ ਦੀ ਵਰਤੋਂ ਕਰਨ ਲਈ ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","composer.submit.waitForImageUploads":"ਤਸਵੀਰਾਂ ਅੱਪਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","composer.submitButtonTooltip.send":"ਭੇਜੋ","composer.submitButtonTooltip.stop":"ਰੁਕੋ","composer.worktreeEnvironment.create":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਬਣਾਓ","composer.worktreeEnvironment.default":"ਡਿਫਾਲਟ ਵਾਤਾਵਰਣ","composer.worktreeEnvironment.error":"ਵਾਤਾਵਰਣਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਤਰੁੱਟੀ","composer.worktreeEnvironment.loading":"ਵਾਤਾਵਰਣ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","composer.worktreeEnvironment.title":"ਲੋਕਲ ਵਾਤਾਵਰਣ","composer.worktreeEnvironment.tooltip":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਚੁਣੋ","composer.worktreeSetupFailed":"ਵਰਕਟਰੀ ਸੈੱਟਅੱਪ ਅਸਫਲ। ਸੈੱਟਅੱਪ ਸਕ੍ਰਿਪਟ ਲਈ .codex/environments ਦੇਖੋ।","compoundButton.secondaryAction":"ਸੈਕੰਡਰੀ ਕਾਰਵਾਈ","copyButton.copied":"ਕਾਪੀ ਕੀਤਾ ਗਿਆ","copyButton.copiedAriaLabel":"ਕਾਪੀ ਕੀਤਾ ਗਿਆ","copyButton.copy":"ਕਾਪੀ ਕਰੋ","copyButton.copyAriaLabel":"ਕਾਪੀ ਕਰੋ","copyButton.copyCode":"ਕੋਡ ਕਾਪੀ ਕਰੋ","diff.actionButton.revertFile":"ਫਾਈਲ ਪਹਿਲਾਂ ਵਰਗੀ ਕਰੋ","diff.actionButton.revertHunk":"ਪਹਿਲਾਂ ਵਾਂਗ ਕਰੋ","diff.actionButton.revertSection":"ਸਾਰੇ ਪਹਿਲਾਂ ਵਾਂਗ ਕਰੋ","diff.actionButton.revertSectionLabel":"ਸਾਰੇ ਪਹਿਲਾਂ ਵਾਂਗ ਕਰੋ","diff.actionButton.stageFile":"ਫਾਈਲ ਸਟੇਜ ਕਰੋ","diff.actionButton.stageHunk":"ਸਟੇਜ ਕਰੋ","diff.actionButton.stageSection":"ਸਾਰੇ ਸਟੇਜ ਕਰੋ","diff.actionButton.stageSectionLabel":"ਸਾਰੇ ਸਟੇਜ ਕਰੋ","diff.actionButton.unstageFile":"ਫਾਈਲ ਨੂੰ ਸਟੇਜ ਨਾ ਕਰੋ","diff.actionButton.unstageHunk":"ਸਟੇਜ ਨਾ ਕਰੋ","diff.actionButton.unstageSection":"ਸਾਰਿਆਂ ਨੂੰ ਸਟੇਜ ਤੋਂ ਹਟਾਓ","diff.actionButton.unstageSectionLabel":"ਸਾਰਿਆਂ ਨੂੰ ਸਟੇਜ ਤੋਂ ਹਟਾਓ","diff.fileHeader.toggle":"ਡਿਫ ਫਾਈਲ ਬਦਲੋ","electron.onboarding.login.apikey.cancel":"ਰੱਦ ਕਰੋ","electron.onboarding.login.apikey.continue":"ਜਾਰੀ ਰੱਖੋ","electron.onboarding.login.apikey.label":"OpenAI API ਕੁੰਜੀ","electron.onboarding.login.apikey.open":"API ਕੁੰਜੀ ਦਰਜ ਕਰੋ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"ਸਾਈਨ-ਇਨ ਰੱਦ ਕਰੋ","electron.onboarding.login.chatgpt.continue":"ChatGPT ਨਾਲ ਜਾਰੀ ਰੱਖੋ","electron.onboarding.login.devbox":"ਰਿਮੋਟ SSH ਨਾਲ ਕਨੈਕਟ ਕਰੋ","electron.onboarding.login.error":"ਸਾਈਨ-ਇਨ ਅਸਫਲ: {rawMessage}","electron.onboarding.login.snake.start":"ਸਨੇਕ ਖੇਡੋ","electron.onboarding.login.sshConfig.cancel":"ਰੱਦ ਕਰੋ","electron.onboarding.login.sshConfig.continue":"ਜਾਰੀ ਰੱਖੋ","electron.onboarding.login.sshConfig.hostnameLabel":"SSH ਹੋਸਟਨਾਮ","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ਏਜੰਟ ਬਿਲਡ ਕਰਨ ਦਾ ਸਭ ਤੋਂ ਵਧੀਆ ਤਰੀਕਾ","electron.onboarding.login.title":"Codex ’ਤੇ ਸਵਾਗਤ ਹੈ","electron.onboarding.shell.title":"ਕੋਡੈਕਸ","electron.onboarding.welcome.continue":"ਜਾਰੀ ਰੱਖੋ","electron.onboarding.welcome.doubleLimits.description":"Codex ਐਪ ਲਾਂਚ ਦੇ ਜਸ਼ਨ ਵਿੱਚ, ਤੁਹਾਡੇ ਕੋਲ 2 ਅਪ੍ਰੈਲ ਤੱਕ 2× ਦਰ ਸੀਮਾ ਹੈ।","electron.onboarding.welcome.freego.description":"ਕੋਡੈਕਸ ਤੁਹਾਡੀ ਯੋਜਨਾ ਵਿੱਚ 2 ਮਾਰਚ ਤੱਕ ਮੁਫ਼ਤ ਵਿੱਚ ਸ਼ਾਮਲ ਹੈ - ਆਓ ਇਕੱਠੇ ਬਣਾਉਣਾ ਸ਼ੁਰੂ ਕਰੀਏ।","electron.onboarding.welcome.new.title.anon":"ਸਵਾਗਤ ਹੈ!","electron.onboarding.workspace.continue":"ਜਾਰੀ ਰੱਖੋ","electron.onboarding.workspace.empty":"ਜਾਰੀ ਰੱਖਣ ਲਈ ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","electron.onboarding.workspace.listLabel":"ਉਪਲਬਧ ਪ੍ਰੋਜੈਕਟ","electron.onboarding.workspace.loading":"ਪ੍ਰੋਜੈਕਟਾਂ ਨੂੰ ਲੋਡ ਕਰ ਰਿਹਾ ਹੈ","electron.onboarding.workspace.openFolder":"ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","electron.onboarding.workspace.selectAll":"ਸਾਰੇ ਚੁਣੋ","electron.onboarding.workspace.skip":"ਛੱਡੋ","electron.onboarding.workspace.skip.error":"ਨਵਾਂ ਪ੍ਰੋਜੈਕਟ ਨਹੀਂ ਬਣ ਸਕਿਆ: {message}","electron.onboarding.workspace.skip.error.unknown":"ਅਣਜਾਣ ਤਰੁੱਟੀ","electron.onboarding.workspace.skipping":"ਨਵਾਂ ਪ੍ਰੋਜੈਕਟ ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ...","electron.onboarding.workspace.subtitle":"Codex ਚੁਣੇ ਹੋਏ ਫੋਲਡਰਾਂ ਵਿੱਚ ਫਾਈਲਾਂ ਨੂੰ ਐਡਿਟ ਕਰਨ ਅਤੇ ਕਮਾਂਡਾਂ ਚਲਾਉਣ ਦੇ ਯੋਗ ਹੋਵੇਗਾ।","electron.onboarding.workspace.title":"ਇੱਕ ਪ੍ਰੋਜੈਕਟ ਚੁਣੋ","errorPage.list.checkSettings":"ਆਪਣੀਆਂ IDE ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਦੀ ਕੋਸ਼ਿਸ਼ ਕਰੋ","errorPage.list.configToml":"ਅਵੈਧ ਸੈਟਿੰਗਾਂ ਲਈ ਆਪਣੇ config.toml ਦੀ ਜਾਂਚ ਕਰੋ","errorPage.list.downloadExtension":"ਐਕਸਟੈਂਸ਼ਨ ਦਾ ਇੱਕ ਵੱਖਰਾ ਸੰਸਕਰਣ ਡਾਊਨਲੋਡ ਕਰਨ ਦੀ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","errorPage.list.runInWsl":"ਜੇਕਰ ਤੁਹਾਨੂੰ ਅਨੁਕੂਲਤਾ ਸੰਬੰਧੀ ਸਮੱਸਿਆਵਾਂ ਦਿਖਾਈ ਦੇ ਰਹੀਆਂ ਹਨ ਤਾਂ WSL ਵਿੱਚ ਚੱਲਣਾ ਬੰਦ ਕਰਨ ਲਈ ਆਪਣੀਆਂ ਸੈਟਿੰਗਾਂ ਦੀ ਜਾਂਚ ਕਰੋ","execApprovalRequest.menu.runAlways":"ਹਾਂ, ਅਤੇ ਇਸ ਸੈਸ਼ਨ ਵਿੱਚ ਦੁਬਾਰਾ ਨਾ ਪੁੱਛਣਾ।","execApprovalRequest.menu.runAlwaysWithAmendment":"ਹਾਂ, ਅਤੇ ਉਹਨਾਂ ਕਮਾਂਡਾਂ ਲਈ ਦੁਬਾਰਾ ਨਾ ਪੁੱਛੋ ਜੋ {command} ਨਾਲ ਸ਼ੁਰੂ ਹੁੰਦੀਆਂ ਹਨ","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ਹਾਂ, ਅਤੇ ਉਹਨਾਂ ਕਮਾਂਡਾਂ ਲਈ ਦੁਬਾਰਾ ਨਾ ਪੁੱਛੋ ਜੋ ਇਸ ਨਾਲ ਸ਼ੁਰੂ ਹੁੰਦੀਆਂ ਹਨ","execApprovalRequest.menu.runOnce":"ਹਾਂ","execApprovalRequest.prompt":"ਕੀ ਤੁਸੀਂ ਇਸ ਕਮਾਂਡ ਨੂੰ ਰਨ ਕਰਨਾ ਚਾਹੁੰਦੇ ਹੋ?","execApprovalRequest.reject":"ਨਹੀਂ","execFooter.exitCode":"{code} ਕੋਡ ਤੋਂ ਬਾਹਰ ਆਓ","execFooter.exitCode.unknown":"ਅਣਜਾਣ","execFooter.success":"ਸਫਲਤਾ","feedback.dialog.category.badResult":"ਬੁਰਾ ਨਤੀਜਾ","feedback.dialog.category.bug":"ਬੱਗ","feedback.dialog.category.goodResult":"ਚੰਗਾ ਨਤੀਜਾ","feedback.dialog.category.other":"ਹੋਰ","feedback.dialog.descriptionPlaceholder":"ਇੱਥੇ ਸਮੱਸਿਆ ਦਾ ਵਰਨਣ ਕਰੋ","feedback.dialog.dismiss":"ਖਾਰਜ ਕਰੋ","feedback.dialog.includeLogsLabel":"ਮੌਜੂਦਾ Codex ਸੈਸ਼ਨ ਲੌਗਸ ਸ਼ਾਮਲ ਕਰੋ","feedback.dialog.submit":"ਜਮ੍ਹਾਂ ਕਰੋ","feedback.dialog.submitError":"ਅਸੀਂ ਤੁਹਾਡੇ ਫੀਡਬੈਕ ਨੂੰ ਦਰਜ ਨਹੀਂ ਕਰ ਸਕੇ। ਕਿਰਪਾ ਕਰਕੇ ਕੁਝ ਪਲ ਵਿੱਚ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","feedback.dialog.title":"ਫੀਡਬੈਕ","feedback.dialog.uploadedMessage.existingIssue":"ਮੌਜੂਦਾ ਅਣਸੁਲਝਿਆ ਮਸਲਾ","feedback.dialog.uploadedMessage.openIssue":"GitHub ਮੁੱਦਾ ਖੋਲ੍ਹੋ","feedback.dialog.uploadedMessage.withThread":"ਫੀਡਬੈਕ ਅੱਪਲੋਡ ਕੀਤਾ ਗਿਆ। ਜੇ ਸਮੱਸਿਆ ਬਣੀ ਰਹਿੰਦੀ ਹੈ, ਕਿਰਪਾ ਕਰਕੇ {openIssueLink} ਜਾਂ ਕਿਸੀ {existingIssueLink} ‘ਤੇ ਥ੍ਰੈਡ id ਦਾ ਜ਼ਿਕਰ ਕਰੋ।","feedback.dialog.uploadedTitle":"ਫੀਡਬੈਕ ਅੱਪਲੋਡ ਕੀਤਾ ਗਿਆ","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} ਹਟਾਉ","header.back":"ਵਾਪਸ","header.recentChats":"ਕਾਰਜ","header.recentTasks.seeAll":"ਸਭ ਦੇਖੋ ({total})","home.header.getPlus":"ਪਲੱਸ ਪ੍ਰਾਪਤ ਕਰੋ","home.hero.letsBuild":"ਆਓ ਬਣਾਈਏ","homePage.mainContent":"ਮੁੱਖ ਸਮੱਗਰੀ","imageAttachment.defaultName":"ਤਸਵੀਰ","imageAttachment.preview.close":"ਤਸਵੀਰ ਪੂਰਵ-ਝਲਕ ਬੰਦ ਕਰੋ","imageAttachment.removeAriaLabel":"{filename} ਹਟਾਉ","implementPlanRequest.option.implement":"ਹਾਂ, ਇਹ ਪਲਾਨ ਲਾਗੂ ਕਰੋ","implementPlanRequest.prompt":"ਕੀ ਇਸ ਪਲਾਨ ਨੂੰ ਲਾਗੂ ਕਰਨਾ ਹੈ?","inbox.archived.deleteError":"ਪੁਰਾਲੇਖ ਰਨ ਨੂੰ ਮਿਟਾ ਨਹੀਂ ਸਕਿਆ","inbox.archived.deleteRun":"ਪੁਰਾਲੇਖ ਰਨ ਮਿਟਾਇਆ ਗਿਆ","inbox.archived.deleteSuccess":"ਪੁਰਾਲੇਖ ਕੀਤਾ ਥ੍ਰੈਡ ਡਿਲੀਟ ਕੀਤਾ। <settingsLink>ਪੁਰਾਲੇਖ ਕੀਤੇ ਥ੍ਰੈਡਾਂ</settingsLink> ਵਿੱਚ ਦੇਖੋ।","inbox.archived.inlineLabel.auto":"ਇਹ ਥ੍ਰੈੱਡ ਆਪਣੇ ਆਪ ਪੁਰਾਲੇਖਬੱਧ ਹੋ ਗਿਆ ਸੀ। <learnMoreLink>Learn more</learnMoreLink>","inbox.archived.inlineLabel.manual":"ਇਹ ਥ੍ਰੈੱਡ ਪੁਰਾਲੇਖਬੱਧ ਕੀਤਾ ਗਿਆ ਸੀ।","inbox.archived.noMessageFound":"ਕੋਈ ਸੁਨੇਹਾ ਨਹੀਂ ਲੱਭਿਆ","inbox.automations.createError":"ਆਟੋਮੇਸ਼ਨ ਨਹੀਂ ਬਣਾ ਸਕਿਆ","inbox.automations.deleteConfirm.cancel":"ਰੱਦ ਕਰੋ","inbox.automations.deleteConfirm.confirm":"ਆਟੋਮੇਸ਼ਨ ਡਿਲੀਟ ਕਰਨੀ ਹੈ","inbox.automations.deleteConfirm.description":"ਇਹ ਆਟੋਮੇਸ਼ਨ ਨੂੰ ਸਥਾਈ ਤੌਰ 'ਤੇ ਮਿਟਾ ਦੇਵੇਗਾ ਅਤੇ ਭਵਿੱਖ ਵਿੱਚ ਹੋਣ ਵਾਲੇ ਕਿਸੇ ਵੀ ਰਨ ਨੂੰ ਰੋਕ ਦੇਵੇਗਾ।","inbox.automations.deleteConfirm.title":"{name} ਨੂੰ ਮਿਟਾਉਣਾ ਹੈ?","inbox.automations.deleteError":"ਆਟੋਮੇਸ਼ਨ ਨੂੰ ਮਿਟਾ ਨਹੀਂ ਸਕਿਆ","inbox.automations.editTooltip":"ਆਟੋਮੇਸ਼ਨ ਸੰਪਾਦਿਤ ਕਰੋ","inbox.automations.inProgress":"ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ","inbox.automations.new":"ਨਵਾਂ","inbox.automations.newToolbar":"ਨਵੀਂ ਆਟੋਮੇਸ਼ਨ","inbox.automations.pauseTooltip":"ਆਟੋਮੇਸ਼ਨ ਰੋਕੋ","inbox.automations.resumeTooltip":"ਆਟੋਮੇਸ਼ਨ ਮੁੜ-ਚਾਲੂ ਕਰੋ","inbox.automations.startingNow":"ਹੁਣ ਸ਼ੁਰੂ ਕੀਤਾ ਜਾ ਰਿਹਾ","inbox.automations.startsIn":"{startTime} ਵਿੱਚ ਸ਼ੁਰੂ ਹੋਵੇਗਾ","inbox.automations.status.active":"ਕਿਰਿਆਸ਼ੀਲ","inbox.automations.status.paused":"ਰੋਕਿਆ ਗਿਆ","inbox.automations.status.runs":"{count} ਰਨ ਕਰਦਾ ਹੈ","inbox.automations.status.started":"{date} ਸ਼ੁਰੂ ਕੀਤਾ","inbox.automations.updateError":"ਆਟੋਮੇਸ਼ਨ ਅੱਪਡੇਟ ਨਹੀਂ ਹੋ ਸਕਿਆ","inbox.automations.workspaceFallback":"-","inbox.filter.all":"ਸਾਰੇ","inbox.filter.ariaLabel":"ਇਨਬੌਕਸ ਆਈਟਮਾਂ ਫਿਲਟਰ ਕਰੋ","inbox.filter.unread":"ਅਣਪੜ੍ਹਿਆ","inbox.list.archived":"ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਗਈਆਂ","inbox.list.inProgress":"ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ","inbox.list.recent":"ਪੂਰਾ ਹੋਇਆ","inbox.list.upNext":"ਸ਼ਡਿਊਲ ਕੀਤਾ ਗਿਆ","inbox.mode.automations":"ਆਟੋਮੇਸ਼ਨਾਂ","inbox.mode.automations.beta":"ਬੀਟਾ","inbox.noDescription":"ਕੋਈ ਵੇਰਵਾ ਮੁਹੱਈਆ ਨਹੀਂ ਕੀਤਾ","inbox.openThread":"ਥਰੈੱਡ ਖੋਲ੍ਹੋ","inbox.rightPanel.emptySubtitle":"ਸ਼ਡਿਊਲ ਕੰਮਾਂ ਨੂੰ ਸੈੱਟ ਕਰਕੇ ਕੰਮ ਨੂੰ ਸਵੈਚਾਲਿਤ ਕਰੋ","inbox.rightPanel.emptySubtitle.learnMore":"ਸ਼ਡਿਊਲ ਥ੍ਰੈਡ ਨੂੰ ਸੈੱਟ ਕਰਕੇ ਕੰਮ ਨੂੰ ਸਵੈਚਾਲਿਤ ਕਰੋ <link>ਵਧੇਰੇ ਜਾਣੋ</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# ਕਿਰਿਆਸ਼ੀਲ ਆਟੋਮੇਸ਼ਨ} other {# ਕਿਰਿਆਸ਼ੀਲ ਆਟੋਮੇਸ਼ਨਾਂ}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"ਕੋਈ ਅਣਪੜ੍ਹੀ ਆਟੋਮੇਸ਼ਨ ਨਹੀਂ","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ਅਣਪੜ੍ਹੀ ਆਟੋਮੇਸ਼ਨ} other {# ਅਣਪੜ੍ਹੀਆਂ ਆਟੋਮੇਸ਼ਨਾਂ}}","inbox.rightPanel.emptyTitle":"ਕੋਈ ਆਈਟਮ ਨਹੀਂ ਚੁਣੀ ਗਈ","inbox.rightPanel.noThread":"ਇਸ ਆਈਟਮ ਲਈ ਕੋਈ ਥਰੈੱਡ ਨਹੀਂ","inbox.rightPanel.quickStart.header":"ਇਕ ਟੈਂਪਲੇਟ ਨਾਲ ਸ਼ੁਰੂ ਕਰੋ","inbox.untitled":"ਬਿਨ੍ਹਾਂ ਸਿਰਲੇਖ ਤੋਂ ਇਨਬੌਕਸ ਵਸਤੂ","loadingPage.documentationLink":"ਦਸਤਾਵੇਜ਼ੀਕਰਨ","loadingPage.errorDescription":"Codex ਨਿਮਨਲਿਖਤ ਤਰੁੱਟੀ ਨਾਲ ਕ੍ਰੈਸ਼ ਹੋਇਆ:","loadingPage.errorDescription.documentation":"Codex ਐਕਸਟੈਂਸ਼ਨ ਨੂੰ ਰੀਸਟਾਰਟ ਕਰਨ ਲਈ ਰੀਲੋਡ 'ਤੇ ਕਲਿੱਕ ਕਰੋ, ਜਾਂ ਵਾਧੂ ਮਦਦ ਲਈ ਸਾਡੇ {documentationLink} 'ਤੇ ਜਾਓ।","loadingPage.errorSignal":"ਅਜਮਾਉਣ ਲਈ ਕੁਝ ਚੀਜ਼ਾਂ:","loadingPage.errorTitle":"ਇੱਕ ਤਰੁੱਟੀ ਆਈ ਹੈ","loadingPage.openConfigToml":"Config.toml ਖੋਲ੍ਹੋ","loadingPage.reload":"ਦੁਬਾਰਾ ਲੋਡ ਕਰੋ","localConversation.contextCompacted":"ਸੰਦਰਭ ਆਟੋਮੈਟਿਕਲੀ ਸੁੰਘੜ ਗਿਆ ਹੈ","localConversation.contextCompacting":"ਆਟੋਮੈਟਿਕਲੀ ਸੁੰਘੜਿਆ ਹੋਇਆ ਸੰਦਰਭ","localConversation.forkedFromConversation":"{threadTitle} ਤੋਂ ਫੋਰਕ ਕੀਤਾ","localConversation.merge.autoResolve.failed":"ਆਟੋ ਰਿਜ਼ੋਲਵ ਦੀ ਬੇਨਤੀ ਕਰਨਾ ਅਸਫਲ: {error}","localConversation.merge.autoResolve.sent":"ਆਟੋ ਰਿਜ਼ੋਲਵ ਬੇਨਤੀ ਭੇਜੀ ਗਈ","localConversation.merge.autoResolveMerge.missingConversation":"ਇੱਕ ਸਰਗਰਮ ਗੱਲਬਾਤ ਤੋਂ ਬਿਨਾਂ ਸਵੈਚਲਿਤ ਹੱਲ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ।","localConversation.merge.autoResolveMerge.request":"ਮਰਜ ਵਿਵਾਦਾਂ ਨੂੰ ਆਟੋ ਰਿਜ਼ੋਲਵ ਕਰੋ","localConversation.modelChanged":"{fromModel} ਤੋਂ {toModel} ਮਾਡਲ ਬਦਲਿਆ।","localConversation.modelChanged.warning.line1":"ਗੱਲਬਾਤ ਦੇ ਵਿਚਕਾਰ ਮਾਡਲ ਬਦਲਣ ਨਾਲ ਪ੍ਰਦਰਸ਼ਨ ਘੱਟ ਜਾਵੇਗਾ।","localConversation.modelChanged.warning.line2":"ਸੰਦਰਭ ਆਟੋਮੈਟਿਕਲੀ ਸੁੰਘੜ ਸਕਦਾ ਹੈ।","localConversation.moveThread.createBranch.label":"ਸ਼ਾਖਾ ਬਣਾਉ","localConversation.moveToLocal.disabled.loading":"ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","localConversation.moveToLocal.modal.continue":"ਜਾਰੀ ਰੱਖੋ","localConversation.moveToLocal.modal.destinationLabel":"ਵੱਲ ਮੂਲ ਕਰੋ","localConversation.moveToLocal.modal.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.moveToWorktree.modal.back":"ਵਾਪਸ","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ਸ਼ਾਖਾ ਪਹਿਲਾਂ ਹੀ ਮੌਜੂਦ ਹੈ।","localConversation.moveToWorktree.modal.branchesError":"ਸ਼ਾਖਾਵਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","localConversation.moveToWorktree.modal.branchesLoading":"ਬ੍ਰਾਂਚਾਂ ਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","localConversation.moveToWorktree.modal.branchesRetry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.moveToWorktree.modal.continue":"ਜਾਰੀ ਰੱਖੋ","localConversation.moveToWorktree.modal.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.moveToWorktree.modal.trailingSlashError":"ਸ਼ਾਖਾ ਨਾਮ “/” ਨਾਲ ਸਮਾਪਤ ਨਹੀਂ ਹੋ ਸਕਦਾ।","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ਨਵੀਂ-ਸ਼ਾਖਾ","localConversation.personalityChanged":"{personality} ਵਿਅਕਤੀਤਤਵ ਵਿੱਚ ਸਵਿੱਚ ਕੀਤਾ ਗਿਆ","localConversation.planSummary.collapse":"ਪਲਾਨ ਦਾ ਸਾਰ ਸੰਕੁਚਿਤ ਕਰੋ","localConversation.planSummary.collapseTooltip":"ਸੰਕੁਚਿਤ ਕਰੋ","localConversation.planSummary.download":"ਪਲਾਨ ਡਾਊਨਲੋਡ ਕਰੋ","localConversation.planSummary.expand":"ਪਲਾਨ ਦਾ ਸਾਰ ਵਧਾਓ","localConversation.planSummary.expandTooltip":"ਵਧਾਓ","localConversation.planSummary.openInNewWindow":"ਖੋਲ੍ਹੋ","localConversation.planSummary.openInNewWindow.tooltip":"ਨਵੀਂ ਵਿੰਡੋ ਵਿੱਚ ਖੋਲ੍ਹੋ","localConversation.planSummary.title":"ਯੋਜਨਾ","localConversation.planSummary.titleWriting":"ਲਿਖਤ ਪਲਾਨ","localConversation.planSummary.viewPlan":"ਪਲਾਨ ਨੂੰ ਵਧਾਓ","localConversation.remoteTaskCreated":"Codex ਕਲਾਊਡ ਵਿੱਚ {taskLink} ਬਣਾਇਆ ਗਿਆ","localConversation.remoteTaskCreated.task":"ਕਾਰਜ","localConversation.scrollToBottomButton":"ਬਿਲਕੁਲ ਨੀਚੇ ਸਕ੍ਰੋਲ ਕਰੋ","localConversation.sync.buttonLabel":"ਸਥਾਨਕ ਨੂੰ ਸੌਂਪ ਦਿਓ","localConversation.sync.buttonLabel.tooltip":"ਇਸ ਵਰਕਟਰੀ ਅਤੇ ਆਪਣੇ ਸਥਾਨਕ ਚੈੱਕਆਉਟ ਵਿਚਕਾਰ ਬਦਲਾਅ ਨੂੰ ਹੱਥ ਵਿੱਚ ਫੜੋ।","localConversation.sync.modal.loading.title":"ਬਦਲਾਵਾਂ ਨੂੰ ਵੰਡਿਆ ਜਾ ਰਿਹਾ ਹੈ...","localConversation.sync.modal.noChanges":"ਕੋਈ ਬਦਲਾਅ ਨਹੀਂ","localConversation.syncSetup.branchAriaLabel":"ਸ਼ਾਖਾ ਨਾਮ","localConversation.syncSetup.branchName":"ਸ਼ਾਖਾ ਨਾਮ","localConversation.syncSetup.branchPlaceholder.existing":"ਮੌਜੂਦਾ ਸ਼ਾਖਾ ਚੁਣੋ","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ਬ੍ਰਾਂਚਾਂ ਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ਪਹਿਲਾਂ ਹੀ ਚੈੱਕ ਆਊਟ ਕੀਤਾ ਗਿਆ","localConversation.syncSetup.checkoutClean":"ਮੌਜੂਦਾ {branchName} ’ਤੇ","localConversation.syncSetup.checkoutDirty":"ਇਸ ਸਮੇਂ ਅਣ-ਕਮਿੱਟ ਕੀਤੇ ਬਦਲਾਵਾਂ ਨਾਲ {branchName} ‘ਤੇ","localConversation.syncSetup.checkoutError":"ਬ੍ਰਾਂਚ ਦੀ ਜਾਂਚ ਕਰਨ ਵਿੱਚ ਅਸਫਲ:{message}","localConversation.syncSetup.checkoutLabel":"ਹੁਣ ਲੋਕਲੀ ਚੈੱਕ ਆਊਟ ਕਰੋ","localConversation.syncSetup.checkoutOnLocal":"ਸਥਾਨਕ ਨੂੰ ਸੌਂਪ ਦਿਓ","localConversation.syncSetup.checkoutPending":"ਲੋਕਲ ਸਥਿਤੀ ਦੀ ਚੈਕਿੰਗ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ...","localConversation.syncSetup.checkoutUnavailable":"ਲੋਕਲ ਵਰਕਸਪੇਸ ਉਪਲਬਧ ਨਹੀਂ","localConversation.syncSetup.checkoutUnknown":"ਲੋਕਲ ਬ੍ਰਾਂਚ ਅਣ-ਉਪਲਬਧ","localConversation.syncSetup.continue":"ਜਾਰੀ ਰੱਖੋ","localConversation.syncSetup.createBranchError":"ਹੈਂਡਆਫ ਸ਼ਾਖਾ ਸੈੱਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {message}","localConversation.syncSetup.error":"ਕੁਝ ਗੜਬੜ ਹੋਈ ਹੈ...{message}","localConversation.syncSetup.error.workingTreeMissing":"ਵਰਕਟਰੀ ਦਾ ਸਨੈਪਸ਼ਾਟ ਨਹੀਂ ਲਿਆ ਜਾ ਸਕਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਦੇਣ ਦੀ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncSetup.mode.ariaLabel":"ਬ੍ਰਾਂਚ ਮੋਡ ਚੁਣੋ","localConversation.syncSetup.mode.existing":"ਮੌਜੂਦਾ ਬ੍ਰਾਂਚ","localConversation.syncSetup.mode.new":"ਨਵੀਂ ਬ੍ਰਾਂਚ","localConversation.syncSetup.noBranches":"ਕੋਈ ਬ੍ਰਾਂਚਾਂ ਨਹੀਂ ਲੱਭੀਆਂ","localConversation.syncSetup.overwriteError":"ਸ਼ਾਖਾ ਬਣਾਈ ਗਈ ਸੀ ਪਰ ਪੂਰੀ ਤਰ੍ਹਾਂ ਨਹੀਂ ਦਿੱਤੀ ਗਈ। ਸਥਾਨਕ ਤੌਰ 'ਤੇ ਚੈੱਕ ਆਊਟ ਕਰਨ ਤੋਂ ਪਹਿਲਾਂ ਹੱਥੀਂ ਦੇ ਦਿਓ।","localConversation.syncSetup.setPrefix":"ਪ੍ਰੀਫਿਕਸ ਸੈੱਟ ਕਰੋ","localConversation.syncSetup.subtitle":"ਵਰਟਰੀ ਬਦਲਾਅ ਸਥਾਨਕ ਟੈਸਟ ਅਤੇ ਸੰਪਾਦਿਤ ਕਰੋ।<a>ਹੋਰ ਵਧੇਰੇ ਜਾਣੋ</a>","localConversation.syncSetup.success.checkedOut":"ਬ੍ਰਾਂਚ ਬਣਾ ਦਿੱਤੀ ਗਈ ਸੀ ਅਤੇ ਲੋਕਲੀ ਚੈੱਕ ਕੀਤੀ ਗਈ ਸੀ","localConversation.syncSetup.success.notCheckedOut":"ਸ਼ਾਖਾ ਬਣਾਈ ਗਈ","localConversation.syncSetup.title":"ਸਥਾਨਕ ਸ਼ਾਖਾ ਨੂੰ ਸੌਂਪ ਦਿਓ","localConversation.syncWorktreeError.branchAriaLabel":"ਸ਼ਾਖਾ ਨਾਮ","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"ਦੇਣ ਲਈ ਇੱਕ ਸ਼ਾਖਾ ਚੁਣੋ, ਫਿਰ ਤਬਦੀਲੀਆਂ ਨੂੰ ਲੋਡ ਕਰਨ ਦੀ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeError.branchSetup.title":"ਬ੍ਰਾਂਚ ਅੱਪਡੇਟ ਕਰੋ","localConversation.syncWorktreeError.branchUpdate.cta":"ਅੱਪਡੇਟ ਕਰੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.syncWorktreeError.branchUpdate.error":"ਸ਼ਾਖਾ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"ਕੁਝ ਗੜਬੜ ਹੋਈ ਹੈ...{message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ਕਿਸੇ ਵੀ ਵਰਕਟਰੀ ਵਿੱਚ ਸ਼ਾਖਾ ਦੀ ਜਾਂਚ ਨਹੀਂ ਕੀਤੀ ਜਾਂਦੀ।","localConversation.syncWorktreeV2.applyUncommitted":"ਲਾਗੂ ਕਰੋ","localConversation.syncWorktreeV2.applyUncommitted.disabled":"ਅਣ-ਕਮਿੱਟ ਕੀਤੇ ਬਦਲਾਵ ਲਾਗੂ ਕਰਨ ਲਈ ਤੁਹਾਡਾ ਆਪਣੀ ਬ੍ਰਾਂਚ ਤੇ ਲੋਕਲੀ ਚੈੱਕ ਆਊਟ ਕਰਨਾ ਲਾਜ਼ਮੀ ਹੈ।","localConversation.syncWorktreeV2.branches.empty":"ਕੋਈ ਬ੍ਰਾਂਚਾਂ ਨਹੀਂ ਲੱਭੀਆਂ","localConversation.syncWorktreeV2.branches.loading":"ਬ੍ਰਾਂਚਾਂ ਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"ਹੈਂਡਆਫ ਸ਼ਾਖਾ ਬਦਲੋ","localConversation.syncWorktreeV2.changeBranch.error":"ਹੈਂਡਆਫ ਸ਼ਾਖਾ ਨੂੰ ਬਦਲਣ ਵਿੱਚ ਅਸਫਲ: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"ਲਾਗੂ ਕਰਨਾ ਅਸਫਲ","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"ਵਰਕਟਰੀ ਦਾ ਮੁੜ-ਬਦਲਾਅ ਅਸਫਲ","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ਲੋਕਲ ਮੁੜ-ਬਦਲਾਅ ਅਸਫਲ","localConversation.syncWorktreeV2.commandError.back":"ਵਾਪਸ","localConversation.syncWorktreeV2.commandError.body":"ਇੱਕ git ਕਮਾਂਡ ਦੇਣ ਵੇਲੇ ਅਸਫਲ ਰਹੀ। ਆਉਟਪੁੱਟ ਦੀ ਸਮੀਖਿਆ ਕਰੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeV2.commandError.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.syncWorktreeV2.description":"ਲੋਕਲ ਅਤੇ ਇਸ ਵਰਕਟਰੀ ਵਿਚਕਾਰ ਬਦਲਾਅ ਨੂੰ ਹੱਥ ਨਾਲ ਕਰੋ <a>ਹੋਰ ਜਾਣੋ</a>।","localConversation.syncWorktreeV2.direction.ariaLabel":"ਹੈਂਡਆਫ ਦਿਸ਼ਾ ਚੁਣੋ","localConversation.syncWorktreeV2.error.generic":"ਹੈਂਡਆਫ ਕਰਨ ਵੇਲੇ ਕੁਝ ਗੜਬੜ ਹੋਈ ਹੈ। ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeV2.localBranchLabel":"ਲੋਕਲ","localConversation.syncWorktreeV2.noChanges":"ਬਦਲਾਵਾਂ ਦੀ ਗਣਨਾ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ","localConversation.syncWorktreeV2.noChanges.summary":"ਕੋਈ ਬਦਲਾਅ ਨਹੀਂ","localConversation.syncWorktreeV2.overwrite.local":"ਲੋਕਲ ਦਾ ਮੁੜ-ਬਦਲਾਅ ਕਰੋ","localConversation.syncWorktreeV2.overwrite.worktree":"ਵਰਕਟਰੀ ਨੂੰ ਮੁੜ-ਬਦਲੋ","localConversation.syncWorktreeV2.partial.action.applyFailed":"ਬਦਲਾਅ ਲਾਗੂ ਨਹੀਂ ਕੀਤੇ ਜਾ ਸਕੇ","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ਸਥਾਨਕ ਦਾ ਮੁੜ-ਬਦਲਾਅ ਨਹੀਂ ਕੀਤਾ ਜਾ ਸਕਦਾ","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ਸਥਾਨਕ ਦਾ ਮੁੜ-ਬਦਲਾਅ ਨਹੀਂ ਕੀਤਾ ਜਾ ਸਕਦਾ","localConversation.syncWorktreeV2.partial.appliedLabel":"ਲਾਗੂ ਕੀਤੇ","localConversation.syncWorktreeV2.partial.back":"ਵਾਪਸ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"ਵਿਵਾਦਾਂ ਨੂੰ ਹੱਲ ਕਰੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeV2.partial.conflictsLabel":"ਟਕਰਾਅ","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}}","localConversation.syncWorktreeV2.partial.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.syncWorktreeV2.partial.skippedLabel":"ਸਕਿੱਪ ਕੀਤਾ","localConversation.syncWorktreeV2.stateFailed.generic":"ਵਰਕਟਰੀ ਬਦਲਾਅ ਸੌਂਪਣ ਵੇਲੇ ਕੁਝ ਗਲਤ ਹੋ ਗਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeV2.stateFailed.title":"ਵਰਕਟਰੀ ਬਦਲਾਅ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","localConversation.syncWorktreeV2.statusError.diffUnknown":"ਵਰਕਟਰੀ ਬਦਲਾਅ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","localConversation.syncWorktreeV2.statusError.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.syncWorktreeV2.statusError.title":"ਸਥਾਨਕ ਸ਼ਾਖਾ ਤਬਦੀਲੀਆਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","localConversation.syncWorktreeV2.statusError.unknown":"ਬ੍ਰਾਂਚ ਸਥਿਤੀ ਇਸ ਵੇਲੇ ਉਪਲਬਧ ਨਹੀਂ ਹੈ। ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeV2.success.apply":"ਬਦਲਾਅ ਸਫਲਤਾਪੂਰਵਕ ਲਾਗੂ ਕੀਤੇ ਗਏ","localConversation.syncWorktreeV2.success.overwrite":"ਹੈਂਡਆਫ ਸਫਲ ਰਿਹਾ","localConversation.syncWorktreeV2.title":"ਬਦਲਾਵਾਂ ਨੂੰ ਵੰਡਿਆ ਜਾ ਰਿਹਾ ਹੈ...","localConversation.syncWorktreeV2.worktreeLabel":"ਵਰਕਟਰੀ","localConversation.userInputRequest.inProgress":"ਪੁੱਛ ਰਿਹਾ ਹੈ {count, plural, one {ਸਵਾਲ} other {ਸਵਾਲ}}","localConversation.userInputRequest.noAnswer":"ਕੋਈ ਜਵਾਬ ਪ੍ਰਦਾਨ ਨਹੀਂ ਕੀਤਾ ਗਿਆ","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"ਪੁੱਛਿਆ ਗਿਆ","localConversation.userInputRequest.summary.count":"{count, plural, one {# ਸਵਾਲ} other {# ਸਵਾਲ}}","localConversation.workedFor":"{time} ਲਈ ਕੰਮ ਕੀਤਾ ਗਿਆ","localConversation.worktreeBranchSetup.action.create":"ਬਣਾਉ","localConversation.worktreeBranchSetup.branchAriaLabel":"ਸ਼ਾਖਾ ਨਾਮ","localConversation.worktreeBranchSetup.branchPlaceholder.new":"ਇੱਕ ਨਵੀਂ ਬ੍ਰਾਂਚ ਬਣਾਓ","localConversation.worktreeBranchSetup.checkoutDisabled":"ਇਸ ਸ਼ਾਖਾ {location} ‘ਤੇ ਪਹਿਲਾਂ ਤੋਂ ਹੀ ਚੈੱਕ ਆਊਟ ਹੈ","localConversation.worktreeBranchSetup.checkoutError":"ਬ੍ਰਾਂਚ ਦੀ ਜਾਂਚ ਕਰਨ ਵਿੱਚ ਅਸਫਲ:{message}","localConversation.worktreeBranchSetup.createBranchError":"ਸ਼ਾਖਾ ਸੈੱਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {message}","localConversation.worktreeBranchSetup.error":"ਕੁਝ ਗੜਬੜ ਹੋਈ ਹੈ...{message}","localConversation.worktreeBranchSetup.subtitle":"ਇਸ ਵਰਕਟਰੀ ਤੋਂ ਬਦਲਾਅ ਕਰਨ, ਅੱਗੇ ਵਧਾਉਣ ਅਤੇ ਇੱਕ PR ਬਣਾਉਣ ਲਈ ਇੱਕ ਸ਼ਾਖਾ ਬਣਾਓ। <a>ਹੋਰ ਜਾਣੋ</a>","localConversation.worktreeBranchSetup.title":"ਇੱਥੇ ਕੰਮ ਕਰੋ","localConversationPage.addWorktreeToSidebar.tooltip":"ਪ੍ਰੋਜੈਕਟ ਵਜੋਂ ਸੁਰੱਖਿਅਤ ਕਰੋ ਜੋ ਤੁਸੀਂ ਇਸ ਵਰਕਟਰੀ ਵਿੱਚੋਂ ਨਵੇਂ ਥ੍ਰੈੱਡਾਂ ਨੂੰ ਸ਼ੁਰੂ ਕਰ ਸਕੋ।","localConversationPage.addWorktreeToSidebarError":"ਪ੍ਰੋਜੈਕਟ ਜੋੜਨ ਵਿੱਚ ਅਸਫਲ","localConversationPage.commitAndCreatePrModal.errorTitle":"ਕਮਿੱਟ ਅਤੇ PR ਬਣਾਉਣਾ ਅਸਫਲ","localConversationPage.commitAndCreatePrModal.successTitle":"ਕਮਿੱਟ ਕੀਤਾ ਅਤੇ PR ਬਣਾਇਆ","localConversationPage.commitAndPushModal.errorTitle":"ਕਮਿੱਟ ਅਤੇ ਪੁਸ਼ ਅਸਫਲ","localConversationPage.commitAndPushModal.successTitle":"ਕਮਿੱਟ ਕੀਤਾ ਅਤੇ ਬਦਲਾਅ ਪੁਸ਼ ਕੀਤੇ","localConversationPage.commitCreatePr.open":"ਪੁੱਲ ਬੇਨਤੀ ਖੋਲ੍ਹੋ","localConversationPage.commitCreatePr.successTitle":"ਤੁਹਾਡੇ ਨਵੀਨਮਤ ਬਦਲਾਵਾਂ ਨਾਲ PR ਬਣਾਏ","localConversationPage.createBranchButtonLabel":"ਸ਼ਾਖਾ ਇੱਥੇ ਹੈ","localConversationPage.createPrModal.baseBranch":"ਬੇਸ","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR ਬਣਾਓ","localConversationPage.createPrModal.createDescription":"ਆਪਣੇ ਨਵੀਨਤਮ ਬਦਲਾਵਾਂ ਲਈ ਇੱਕ ਪੁੱਲ ਬੇਨਤੀ ਖੋਲ੍ਹੋ।","localConversationPage.createPrModal.errorTitle":"ਪੁੱਲ ਬੇਨਤੀ ਅਸਫਲ","localConversationPage.createPrModal.headBranch":"ਹੈੱਡ","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR ਖੋਲ੍ਹੋ","localConversationPage.createPrModal.successTitle":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ ਕੀਤੀ","localConversationPage.createPrModal.title":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ ਕਰੋ","localConversationPage.createPrModal.viewDescription":"ਇਸ ਸ਼ਾਖਾ ਲਈ ਇੱਕ ਪੁੱਲ ਬੇਨਤੀ ਪਹਿਲਾਂ ਹੀ ਮੌਜੂਦ ਹੈ।","localConversationPage.createPrModal.viewTitle":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ","localConversationPage.createPullRequestAuthGh":"GitHub CLI ਦਾ ਪ੍ਰਮਾਣੀਕਰਨ ਕਰੋ: `gh auth login` ਰਨ ਕਰੋ","localConversationPage.createPullRequestBranchMissing":"ਸ਼ਾਖਾ ਜਾਣਕਾਰੀ ਅਣਉਪਲਬਧ","localConversationPage.createPullRequestButtonLabel":"PR ਬਣਾਓ","localConversationPage.createPullRequestButtonLabel.loading":"PR ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ...","localConversationPage.createPullRequestDefaultBranchMissing":"ਡੀਫਾਲਟ ਸ਼ਾਖਾ ਜਾਣਕਾਰੀ ਅਣਉਪਲਬਧ","localConversationPage.createPullRequestError":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","localConversationPage.createPullRequestExistingPullRequest":"ਇਸ ਸ਼ਾਖਾ ਲਈ ਇੱਕ ਪੁੱਲ ਬੇਨਤੀ ਪਹਿਲੀਆਂ ਹੀ ਮੌਜੂਦ ਹੈ","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI ਸਥਿਤੀ ਨੂੰ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ…","localConversationPage.createPullRequestInstallGh":"PRs ਬਣਾਉਣ ਲਈ GitHub CLI (gh) ਨੂੰ ਸਥਾਪਿਤ ਕਰੋ","localConversationPage.createPullRequestNoRepo":"ਕੋਈ git ਰੀਪੌਜ਼ੀਟਰੀ ਨਹੀਂ ਲੱਭੀ","localConversationPage.createPullRequestPushStatusMissing":"ਪੁਸ਼ ਸਥਿਤੀ ਨੂੰ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ...","localConversationPage.createPullRequestSetUpstream":"PR ਬਣਾਉਣ ਪਹਿਲਾਂ ਇਸ ਸ਼ਾਖਾ ਨੂੰ ਪੁਸ਼ ਕਰੋ","localConversationPage.createPullRequestSuccessToast":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ ਕੀਤੀ","localConversationPage.createPullRequestSwitchBranch":"PR ਬਣਾਉਣ ਪਹਿਲਾਂ ਫੀਚਰ ਸ਼ਾਖਾ ਨੂੰ ਚੈੱਕਾਉਟ ਕਰੋ","localConversationPage.error.render":"ਲੋਕਲ ਗੱਲਬਾਤ ਰੈਂਡਰ ਕਰਨ ਵਿੱਚ ਤਰੁੱਟੀ","localConversationPage.error.toast":"ਗੱਲਬਾਤ ਨਹੀਂ ਮਿਲੀ","localConversationPage.forcePushError":"ਫੋਰਸ ਪੁਸ਼ ਅਸਫਲ","localConversationPage.generatePullRequestMessageError":"ਪੁੱਲ ਬੇਨਤੀ ਸਿਰਲੇਖ ਅਤੇ ਮੁੱਖ ਭਾਗ ਤਿਆਰ ਕਰਨ ਵਿੱਚ ਅਸਫਲ ਰਿਹਾ","localConversationPage.generatePullRequestMessageFailed":"ਪੁੱਲ ਬੇਨਤੀ ਸਿਰਲੇਖ ਅਤੇ ਮੁੱਖ ਭਾਗ ਤਿਆਰ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","localConversationPage.gitActionResult.branch":"ਸ਼ਾਖਾ","localConversationPage.gitActionResult.cancel":"ਰੱਦ ਕਰੋ","localConversationPage.gitActionResult.close":"ਬੰਦ ਕਰੋ","localConversationPage.gitActionResult.tryAgain":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversationPage.gitActions":"Git ਕਾਰਵਾਈਆਂ","localConversationPage.newChat":"ਨਵੀਂ ਚੈਟ","localConversationPage.openInTarget":"ਇਸ ਵਿੱਚ ਖੋਲ੍ਹੋ","localConversationPage.openPrimaryTarget":"ਖੋਲ੍ਹੋ","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# ਕਾਰਜ ਪੂਰਾ ਹੋਇਆ} other {# ਕਾਰਜ ਪੂਰੇ ਹੋਏ}} ਵਿੱਚੋਂ {completedItems}","localConversationPage.pushAuthError":"ਪੁਸ਼ ਅਸਫ਼ਲ: ਪ੍ਰਮਾਣੀਕਰਨ ਲੋੜੀਂਦਾ ਹੈ","localConversationPage.pushBranchMissing":"ਸ਼ਾਖਾ ਜਾਣਕਾਰੀ ਅਣਉਪਲਬਧ","localConversationPage.pushButtonLabel":"ਪੁਸ਼","localConversationPage.pushButtonLabel.loading":"ਪੁਸ਼ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ...","localConversationPage.pushError":"ਪੁੱਸ਼ ਬਦਲਾਅ ਪੁੱਸ਼ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","localConversationPage.pushModal.branchLabel":"ਸ਼ਾਖਾ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"ਰੱਦ ਕਰੋ","localConversationPage.pushModal.confirm":"ਪੁਸ਼","localConversationPage.pushModal.description":"ਰੀਮੋਟ ਰੀਪੌਜ਼ੀਟਰੀ ’ਤੇ ਆਪਣੇ ਨਵੀਨਤਮ ਕਮਿੱਟ ਪੁਸ਼ ਕਰੋ।","localConversationPage.pushModal.errorTitle":"ਪੁਸ਼ ਅਸਫਲ","localConversationPage.pushModal.forcePush":"ਫੋਰਸ ਪੁਸ਼","localConversationPage.pushModal.successTitle":"ਪੁਸ਼ ਪੂਰਾ ਹੋਇਆ","localConversationPage.pushModal.title":"ਪੁਸ਼ ਬਦਲਾਅ","localConversationPage.pushModal.tryAgain":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversationPage.pushNoUpstream":"ਇਸ ਸ਼ਾਖਾ ਨੂੰ ਪੁਸ਼ ਕਰਨ ਪਹਿਲਾਂ ਅੱਪਸਟ੍ਰੀਮ ਸੈੱਟ ਕਰੋ","localConversationPage.pushNoUpstreamError":"ਪੁਸ਼ ਅਸਫਲ: ਕੋਈ ਅੱਪਸਟ੍ਰੀਮ ਕੌਨਫਿਗਰ ਨਹੀਂ","localConversationPage.pushNothingToPush":"ਪੁੱਸ਼ ਕਰਨ ਲਈ ਕੋਈ ਨਵੀਂ ਕੌਮਿੱਟ ਨਹੀਂ","localConversationPage.pushRemoteChangedError":"ਪੁਸ਼ ਅਸਫਲ: ਰਿਮੋਟ ਕੋਲ ਕੋਈ ਕਮਿੱਟ ਨਹੀਂ ਹਨ","localConversationPage.pushRemoteRejectedError":"ਰਿਮੋਟ ਰਾਹੀਂ ਅਸਵੀਕਾਰ ਹੋਏ ਪੁਸ਼","localConversationPage.pushStatusMissing":"ਪੁਸ਼ ਸਥਿਤੀ ਨੂੰ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ...","localConversationPage.pushSuccessToast":"ਪੁਸ਼ ਕੀਤੇ ਬਦਲਾਅ","localConversationPage.viewPullRequestButtonLabel":"PR ਦੇਖੋ","localConversationPage.viewPullRequestButtonLabel.loading":"ਪੁੱਲ ਬੇਨਤੀ ਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# ਸੂਚੀ} other {# ਸੂਚੀ}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# ਖੋਜ} other {# ਖੋਜਾਂ}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"ਐਕਸਪਲੋਰ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"ਐਕਸਪਲੋਰ ਕੀਤਾ","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} ਐਕਸਪਲੋਰ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","localConversationTurnStory.showContent":"ਕੰਟੈਂਟ ਦਿਖਾਓ","localConversationTurnStory.streamContent":"ਕੰਟੈਂਟ ਸਟ੍ਰੀਮ ਕਰੋ","localConversationTurnStory.toggleReasoning":"ਤਰਕਸ਼ਕਤੀ ਦਿਖਾਓ","localTaskRow.archiveError":"ਗੱਲਬਾਤ ਪੁਰਾਲੇਖ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","localTaskRow.resumeError":"ਕਾਰਜ ਮੁੜ-ਚਾਲੂ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","mermaidDiagram.ariaLabel":"ਮਰਮੇਡ ਚਿੱਤਰ","mermaidDiagram.copySource":"ਮਰਮੇਡ ਕਾਪੀ ਕਰੋ","mermaidDiagram.originalCode":"ਮਰਮੇਡ ਸ੍ਰੋਤ ਕੋਡ","notifications.permissions.description":"ਜਿਸ ਸਮੇਂ ਸੂਚਨਾ ਇਜਾਜ਼ਤਾਂ ਲੋੜੀਂਦੀਆਂ ਹੋਣ ਤਾਂ ਅਲਰਟ ਦਿਖਾਉ","notifications.permissions.label":"ਇਜਾਜ਼ਤ ਸੂਚਨਾਵਾਂ ਸਮਰੱਥਿਤ ਕਰੋ","notifications.turnMode.always":"ਹਮੇਸ਼ਾ","notifications.turnMode.description":"ਸੈੱਟ ਕਰੋ ਜਦੋਂ ਕੋਡੈਕਸ ਤੁਹਾਨੂੰ ਸੁਚੇਤ ਕਰੇ ਕਿ ਇਹ ਪੂਰਾ ਹੋ ਗਿਆ ਹੈ","notifications.turnMode.label":"ਸੰਪੰਨ ਬਾਬਤ ਸੂਚਨਾਵਾਂ ਬਦਲੋ","notifications.turnMode.off":"ਕਦੇ ਨਹੀਂ","notifications.turnMode.unfocused":"ਕੇਵਲ ਜਦੋਂ ਬੇਧਿਆਨ ਹੋਵੇ","patchApprovalRequest.approve":"ਮਨਜ਼ੂਰ ਕਰੋ","patchApprovalRequest.menu.allowAlways":"ਹਾਂ, ਅਤੇ ਇਸ ਸੈਸ਼ਨ ਵਿੱਚ ਦੁਬਾਰਾ ਨਾ ਪੁੱਛਣਾ।","patchApprovalRequest.menu.allowForSession":"ਹਾਂ, ਅਤੇ ਇਸ ਸੈਸ਼ਨ ਵਿੱਚ ਦੁਬਾਰਾ ਨਾ ਪੁੱਛਣਾ।","patchApprovalRequest.menu.allowOnce":"ਹਾਂ","patchApprovalRequest.prompt":"ਕੀ ਤੁਸੀਂ ਇਹ ਬਦਲਾਅ ਕਰਨਾ ਚਾਹੁੰਦੇ ਹੋ?","patchApprovalRequest.reject":"ਨਹੀਂ","patchApprovalRequest.waitingForApproval":"ਇਨ੍ਹਾਂ ਫਾਈਲਾਂ ਨੂੰ ਐਡਿਟ ਕਰਨ ਲਈ ਮਨਜ਼ੂਰੀ ਦੀ ਉਡੀਕ ਵਿੱਚ","pendingRequest.approvalExec.collapse":"ਸੰਕੁਚਿਤ ਕਰੋ","pendingRequest.approvalExec.expand":"ਵਧਾਓ","pendingRequestStory.toastAnswer":"ਜਵਾਬ: {answer}","pendingRequestStory.toastApprovalTitle":"ਮਨਜੂਰੀ ਅਧੀਨ ਜਵਾਬ","pendingRequestStory.toastFollowupPrompt":"ਪ੍ਰੌਂਪਟ: {prompt}","pendingRequestStory.toastFollowupTitle":"ਫਾਲੋ-ਅੱਪ ਭੇਜਿਆ ਗਿਆ","pendingRequestStory.toastNoAnswers":"ਕੋਈ ਜਵਾਬ ਪ੍ਰਦਾਨ ਨਹੀਂ ਕੀਤੇ ਗਏ","pendingRequestStory.toastQuestion":"ਸਵਾਲ: {question}","pendingRequestStory.toastUnknownDecision":"ਅਣਜਾਣ","pendingRequestStory.toastUserInputTitle":"ਸਪੁਰਦ ਕੀਤੇ ਜਵਾਬ","quickAction.request.codeReview.branches.new":"ਕਿਰਪਾ ਕਰਕੇ {to}ਵਿਰੁੱਧ ਬਦਲਾਵਾਂ ਦੀ {from} ’ਤੇ ਸਮੀਖਿਆ ਕਰੋ","quickAction.request.codeReview.uncommitted.new":"ਕਿਰਪਾ ਕਰਕੇ ਮੇਰੇ ਅਣ-ਕਮਿੱਟ ਬਦਲਾਵਾਂ ਦੀ ਸਮੀਖਿਆ ਕਰੋ","reasoningItem.thinking":"ਸੋਚ ਰਿਹਾ ਹੈ","reasoningItem.thought":"ਵਿਚਾਰ","reasoningItem.thoughtWithElapsed":"{elapsed} ਲਈ ਵਿਚਾਰ","recentConversations.title":"ਹਾਲੀਆ ਗੱਲਬਾਤ","recentTasks.worktreeInitFailedTitle":"ਵਰਕਟਰੀ ਇਨਿਟ ਅਸਫਲ","recentTasks.worktreeSettingUpTitle":"ਵਰਕਟਰੀ ਨੂੰ ਸੈੱਟ ਅੱਪ ਕਰਨਾ","requestInputPanel.continue":"ਜਾਰੀ ਰੱਖੋ","requestInputPanel.dismiss":"ਖਾਰਜ ਕਰੋ","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ਇੱਥੇ ਟਾਈਪ ਕਰੋ","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"ਨਹੀਂ ਅਤੇ ਕੋਡੈਕਸ ਨੂੰ ਵੱਖਰੇ ਢੰਗ ਨਾਲ ਜੋ ਕਰਨਾ ਹੈ, ਉਸ ਬਾਰੇ ਦੱਸੋ।","requestInputPanel.selectedBadge":"ਚੁਣੇ ਗਏ","requestInputPanel.skip":"ਛੱਡੋ","requestInputPanel.submit":"ਜਮ੍ਹਾਂ ਕਰੋ","review.commit.ariaLabel.includeUnstaged":"ਸਟੇਜ ਨਾ ਕੀਤੇ ਸ਼ਾਮਲ ਹਨ","review.commit.buttonLabel":"ਵਚਨਬੱਧਤਾ","review.commit.disabled.committing":"ਕਮਿੱਟ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ...","review.commit.disabled.loadingDiff":"ਡਿਫ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","review.commit.disabled.missingContext":"ਇੱਕ ਵਚਨਬੱਧ ਸੁਨੇਹਾ ਤਿਆਰ ਕਰਨ ਲਈ ਕੁਝ ਸੰਦਰਭ ਸ਼ਾਮਲ ਕਰੋ","review.commit.disabled.noChanges":"ਕਮਿੱਟ ਕਰਨ ਲਈ ਕੋਈ ਬਦਲਾਅ ਨਹੀਂ","review.commit.disabled.noSelection":"ਕਮਿੱਟ ਕਰਨ ਲਈ ਬਦਲਾਅ ਚੁਣੋ","review.commit.disabled.unavailable":"ਇਸ ਵੇਲੇ ਕਮਿੱਟ ਉਪਲਬਧ ਨਹੀਂ ਹੈ।","review.commit.error":"ਬਦਲਾਅ ਕਮਿੱਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","review.commit.form.changesToBeCommitted":"ਬਦਲਾਅ","review.commit.form.commitTo":"ਸ਼ਾਖਾ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"ਜਾਰੀ ਰੱਖੋ","review.commit.form.title":"ਆਪਣੇ ਬਦਲਾਅ ਲਾਗੂ ਕਰੋ","review.commit.generate.emptyResponse":"ਇੱਕ ਵਚਨਬੱਧ ਸੁਨੇਹਾ ਤਿਆਰ ਨਹੀਂ ਕੀਤਾ ਜਾ ਸਕਿਆ।","review.commit.generate.failed":"ਕਮਿਟ ਸੁਨੇਹਾ ਤਿਆਰ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {error}","review.commit.generate.missingPrompt":"ਇੱਕ ਕਮਿਟ ਸੁਨੇਹਾ ਤਿਆਰ ਕਰਨ ਲਈ ਕੁਝ ਸੰਦਰਭ ਜੋੜੋ।","review.commit.includeUnstaged":"ਸਟੇਜ ਨਾ ਕੀਤੇ ਸ਼ਾਮਲ ਹਨ","review.commit.loading.description":"ਬਣੇ ਰਹੋ, ਇਸ ਵਿੱਚ ਚੰਦ ਪਲ ਲੱਗ ਸਕਦੇ ਹਨ...","review.commit.loading.step.commit.done":"ਕਮਿੱਟ ਕੀਤੇ ਬਦਲਾਅ","review.commit.loading.step.commit.pending":"ਬਦਲਾਅ ਕਮਿੱਟ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ","review.commit.loading.step.createPr.done":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ ਕੀਤੀ ਗਈ","review.commit.loading.step.createPr.pending":"ਪੁੱਲ ਬੇਨਤੀ ਬਣਾਈ ਜਾ ਰਹੀ ਹੈ","review.commit.loading.step.push.done":"{branch} ਸ਼ਾਖਾ ’ਤੇ ਪੁਸ਼ ਕੀਤਾ","review.commit.loading.step.push.pending":"{branch} ’ਤੇ ਪੁਸ਼ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","review.commit.loading.title.commit":"ਬਦਲਾਅ ਕਮਿੱਟ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ","review.commit.loading.title.createPr":"PR ਬਣਾਈ ਜਾ ਰਹੀ ਹੈ","review.commit.loading.title.push":"ਬਦਲਾਅ ਪੁਸ਼ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ","review.commit.messageLabel":"ਸੁਨੇਹਾ ਕਮਿੱਟ ਕਰੋ","review.commit.messagePlaceholder":"ਇੱਕ ਕਮਿਟ ਸੁਨੇਹਾ ਆਟੋਮੇਟ ਕਰਨ ਲਈ ਖਾਲੀ ਛੱਡੋ","review.commit.nextSteps":"ਅਗਲੇ ਕਦਮ","review.commit.nextSteps.commit":"ਵਚਨਬੱਧਤਾ","review.commit.nextSteps.commitAndCreate":"ਕਮਿੱਟ ਅਤੇ PR ਬਣਾਓ","review.commit.nextSteps.commitAndPush":"ਕਮਿੱਟ ਅਤੇ ਪੁਸ਼","review.commit.nextSteps.prRequiresGh":"GitHub CLI ਲੋੜੀਂਦਾ ਹੈ: {command}","review.commit.rows.changes":"ਬਦਲਾਅ","review.commit.rows.commitCount":"{count, plural, one {# ਕਮਿਟ} other {# ਕਮਿੱਟ ਕਰਦਾ ਹੈ}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# ਕਮਿਟ} other {# ਕਮਿੱਟ ਕਰਦਾ ਹੈ}} ਅਤੇ {stats}","review.commit.rows.fileCount":"{count, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}}","review.commit.state.error.body":"ਕਮਿੱਟ ਕਰਨ ਦੌਰਾਨ ਕੁਝ ਗੜਬੜ ਹੋਈ। ਆਪਣੇ git ਸਟੇਟਸ ਦੀ ਜਾਂਚ ਕਰੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","review.commit.state.error.title":"ਕਮਿੱਟ ਅਸਫਲ","review.commit.state.success.title":"ਬਦਲਾਅ ਕਮਿੱਟ ਕੀਤੇ","review.commit.untracked.loadingStats":"ਅਨਟ੍ਰੈਕ ਡਿਫ ਸਟੈਟਸ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","reviewFindingAttachments.count":"{count, plural, one {# ਲੱਭ ਰਿਹਾ ਹੈ} other {# ਲੱਭਤਾਂ}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"ਆਪਣਾ ਕੌਂਨਫਿਗ ਸੰਪਾਦਿਤ ਕਰਕੇ ਏਜੰਟ ਦਾ ਵਿਹਾਰ ਅਨੁਕੂਲਿਤ ਕਰੋ","settings.agent.configuration.configToml.docs":"ਦਸਤਾਵੇਜ","settings.agent.configuration.configToml.restartNote":"ਬਦਲਾਵਾਂ ਨੂੰ ਲਾਗੂ ਕਰਨ ਲਈ ਐਡਿਟ ਤੋਂ ਬਾਅਦ Codex ਨੂੰ ਮੁੜ ਚਾਲੂ ਕਰੋ","settings.agent.configuration.subtitle":"ਇਹ ਸੈਟਿੰਗਾਂ ਹਰ ਕਿਤੇ ਲਾਗੂ ਹੁੰਦੀਆਂ ਹਨ ਜਿੱਥੇ Codex ਦੀ ਵਰਤੋਂ ਹੁੰਦੀ ਹੈ","settings.automations.banner.danger":"ਆਟੋਮੇਸ਼ਨ ਤੁਹਾਡੀਆਂ ਡਿਫੌਲਟ ਸੈਂਡਬੌਕਸ ਸੈਟਿੰਗਾਂ ਨਾਲ ਚੱਲਦੇ ਹਨ, ਜੋ ਕਿ ਵਰਤਮਾਨ ਵਿੱਚ ਫੁੱਲ ਐਕਸੈਸ ਤੇ ਸੈੱਟ ਹਨ। ਫੁੱਲ ਐਕਸੈਸ ਨਾਲ ਬੈਕਗ੍ਰਾਉਂਡ ਆਟੋਮੇਸ਼ਨ ਚਲਾਉਣ ਨਾਲ ਉੱਚ ਜੋਖਮ ਹੁੰਦਾ ਹੈ, ਕਿਉਂਕਿ ਕੋਡੈਕਸ ਫਾਈਲਾਂ ਨੂੰ ਸੋਧ ਸਕਦਾ ਹੈ, ਕਮਾਂਡ ਚਲਾ ਸਕਦਾ ਹੈ, ਅਤੇ ਬਿਨਾਂ ਪੁੱਛੇ ਨੈੱਟਵਰਕ ਤੱਕ ਪਹੁੰਚ ਕਰ ਸਕਦਾ ਹੈ। ਵਰਕਸਪੇਸ ਲਿਖਣ ਲਈ ਸੈਂਡਬੌਕਸ ਸੈਟਿੰਗਾਂ ਨੂੰ ਅਪਡੇਟ ਕਰਨ 'ਤੇ ਵਿਚਾਰ ਕਰੋ, ਅਤੇ <rulesDocsLink>ਨਿਯਮ</rulesDocsLink> ਦੀ ਵਰਤੋਂ ਕਰਕੇ ਚੋਣਵੇਂ ਤੌਰ 'ਤੇ ਪਰਿਭਾਸ਼ਿਤ ਕਰੋ ਕਿ ਏਜੰਟ ਪੂਰੀ ਐਕਸੈਸ ਨਾਲ ਕਿਹੜੀ ਕਮਾਂਡ ਚਲਾ ਸਕਦਾ ਹੈ।","settings.automations.banner.defaultHowTo.default":"ਆਟੋਮੇਸ਼ਨ ਤੁਹਾਡੀਆਂ ਡਿਫੌਲਟ ਸੈਂਡਬੌਕਸ ਸੈਟਿੰਗਾਂ ਨਾਲ ਚੱਲਦੇ ਹਨ। ਟੂਲ ਕਾਲਾਂ ਅਸਫਲ ਹੋ ਜਾਣਗੀਆਂ ਜੇਕਰ ਉਹਨਾਂ ਨੂੰ ਵਰਕਸਪੇਸ ਤੋਂ ਬਾਹਰ ਫਾਈਲਾਂ ਨੂੰ ਸੋਧਣ, ਨੈੱਟਵਰਕ ਤੱਕ ਪਹੁੰਚ ਕਰਨ, ਜਾਂ ਤੁਹਾਡੇ ਕੰਪਿਊਟਰ 'ਤੇ ਐਪਸ ਨਾਲ ਕੰਮ ਕਰਨ ਦੀ ਲੋੜ ਹੁੰਦੀ ਹੈ। ਤੁਸੀਂ <rulesDocsLink>ਨਿਯਮ</rulesDocsLink> ਦੀ ਵਰਤੋਂ ਕਰਕੇ ਸੈਂਡਬੌਕਸ ਦੇ ਬਾਹਰ ਚਲਾਉਣ ਲਈ ਚੋਣਵੇਂ ਤੌਰ 'ਤੇ ਅਲਾਉਲਿਸਟ ਕਮਾਂਡ ਕਰ ਸਕਦੇ ਹੋ।","settings.automations.banner.defaultHowTo.readOnly":"ਆਟੋਮੇਸ਼ਨ ਤੁਹਾਡੀਆਂ ਡਿਫੌਲਟ ਸੈਂਡਬੌਕਸ ਸੈਟਿੰਗਾਂ ਨਾਲ ਚੱਲਦੇ ਹਨ, ਜੋ ਕਿ ਸਿਰਫ਼ ਪੜ੍ਹਨ ਲਈ ਸੈੱਟ ਕੀਤੀਆਂ ਜਾਂਦੀਆਂ ਹਨ। ਟੂਲ ਕਾਲਾਂ ਅਸਫਲ ਹੋ ਜਾਣਗੀਆਂ ਜੇਕਰ ਉਹਨਾਂ ਨੂੰ ਫਾਈਲਾਂ ਨੂੰ ਸੋਧਣ, ਨੈੱਟਵਰਕ ਤੱਕ ਪਹੁੰਚ ਕਰਨ, ਜਾਂ ਤੁਹਾਡੇ ਕੰਪਿਊਟਰ 'ਤੇ ਐਪਸ ਨਾਲ ਕੰਮ ਕਰਨ ਦੀ ਲੋੜ ਹੁੰਦੀ ਹੈ। ਸੈਂਡਬੌਕਸ ਸੈਟਿੰਗਾਂ ਨੂੰ ਵਰਕਸਪੇਸ ਲਿਖਣ ਲਈ ਅੱਪਡੇਟ ਕਰਨ 'ਤੇ ਵਿਚਾਰ ਕਰੋ।","settings.automations.cancel":"ਰੱਦ ਕਰੋ","settings.automations.create":"ਬਣਾਉ","settings.automations.cwdEmpty":"ਕੋਈ ਪ੍ਰੋਜੈਕਟ ਫੋਲਡਰ ਉਪਲਬਧ ਨਹੀਂ ਹੈ","settings.automations.cwdLabel":"ਪ੍ਰੋਜੈਕਟ","settings.automations.cwdPlaceholder":"ਇੱਕ ਫੋਲਡਰ ਚੁਣੋ","settings.automations.cwdSubtitle":"ਜੇਕਰ ਤੁਸੀਂ ਚਾਹੁੰਦੇ ਹੋ ਕਿ ਆਟੋਮੇਸ਼ਨ ਕਿਸੇ ਖਾਸ ਸ਼ਾਖਾ 'ਤੇ ਚੱਲੇ, ਤਾਂ ਤੁਸੀਂ ਇਸਨੂੰ ਆਪਣੇ ਪ੍ਰੋਂਪਟ ਵਿੱਚ ਦਰਸਾ ਸਕਦੇ ਹੋ।","settings.automations.delete":"ਮਿਟਾਓ","settings.automations.dialog.editTitle":"ਆਟੋਮੇਸ਼ਨ ਸੰਪਾਦਿਤ ਕਰੋ","settings.automations.dialog.newTitle":"ਨਵੀਂ ਆਟੋਮੇਸ਼ਨ","settings.automations.dialog.subtitle":"ਬੈਕਗ੍ਰਾਊਂਡ ਵਿੱਚ ਆਵਰਤੀ ਕਾਰਜਾਂ ਨੂੰ ਸਵੈਚਲਿਤ ਕਰੋ। ਕੋਡੈਕਸ ਇਨਬਾਕਸ ਵਿੱਚ ਖੋਜਾਂ ਜੋੜਦਾ ਹੈ, ਜਾਂ ਜੇਕਰ ਰਿਪੋਰਟ ਕਰਨ ਲਈ ਕੁਝ ਨਹੀਂ ਹੈ ਤਾਂ ਕਾਰਜ ਨੂੰ ਆਪਣੇ ਆਪ ਪੁਰਾਲੇਖਬੱਧ ਕਰਦਾ ਹੈ। <learnMoreLink>ਹੋਰ ਜਾਣੋ</learnMoreLink>","settings.automations.dialog.title":"ਆਟੋਮੇਸ਼ਨ ਬਣਾਉ","settings.automations.executionCopy.git":"ਸਮਰਪਿਤ ਵਰਕਟਰੀਜ਼ 'ਤੇ ਬੈਕਗ੍ਰਾਊਂਡ ਵਿੱਚ ਆਟੋਮੇਸ਼ਨ ਚੱਲਦੇ ਹਨ।","settings.automations.executionCopy.nonGit":"ਗੈਰ-ਵਰਜਨ-ਨਿਯੰਤਰਿਤ ਪ੍ਰੋਜੈਕਟਾਂ ਵਿੱਚ ਆਟੋਮੇਸ਼ਨ ਸਿੱਧੇ ਪ੍ਰੋਜੈਕਟ ਡਾਇਰੈਕਟਰੀ ਵਿੱਚ ਚੱਲਦਾ ਹੈ। ਬੈਕਗ੍ਰਾਉਂਡ ਵਰਕਟਰੀ 'ਤੇ ਚੱਲਣ ਨੂੰ ਸਮਰੱਥ ਬਣਾਉਣ ਲਈ Git ਦੀ ਵਰਤੋਂ ਕਰਨ 'ਤੇ ਵਿਚਾਰ ਕਰੋ।","settings.automations.executionEnvironment.local":"ਲੋਕਲ","settings.automations.executionEnvironment.worktree":"ਵਰਕਟਰੀ","settings.automations.loading":"ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","settings.automations.nameLabel":"ਨਾਮ","settings.automations.namePlaceholder":"ਸੈਂਟਰੀ ਮਸਲਿਆਂ ਬਾਬਤ ਜਾਂਚ ਕਰੋ","settings.automations.pause":"ਰੋਕੋ","settings.automations.promptLabel":"ਪ੍ਰੋਂਪਟ","settings.automations.promptPlaceholder":"$Sentry ਵਿੱਚ ਕਰੈਸ਼ਾਂ ਦੀ ਭਾਲ਼ ਕਰੋ","settings.automations.resume":"ਮੁੜ-ਚਾਲੂ ਕਰੋ","settings.automations.rruleSummaryFallback":"ਕਸਟਮ ਸ਼ਡਿਊਲ","settings.automations.runNow":"ਟੈਸਟ","settings.automations.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.automations.scheduleBadge.dayCount":"{count}ਦਿ","settings.automations.scheduleBadge.interval":"{count}ਘੰ","settings.automations.scheduleBadge.weekdays":"ਕੰਮ ਦੇ ਦਿਨ","settings.automations.scheduleBadge.weekends":"ਕੰਮ ਦੇ ਦਿਨ","settings.automations.scheduleHeader":"ਸ਼ਡਿਊਲ","settings.automations.scheduleHours":"ਘੰਟੇ","settings.automations.scheduleLabel":"ਹਰੇਕ ਰਨ ਕਰੋ","settings.automations.scheduleMode.daily":"ਰੋਜ਼ਾਨਾ","settings.automations.scheduleMode.interval":"ਇੰਟਰਵਲ","settings.automations.scheduleModeLabel":"ਸ਼ੈਡਿਊਲ ਕਿਸਮ","settings.automations.scheduleSummary.daily":"ਰੋਜ਼ਾਨਾ {time} ਵਜੇ","settings.automations.scheduleSummary.interval":"ਹਰੇਕ {count}ਘੰ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ਦਿਨ} other {# ਦਿਨਾਂ}}","settings.automations.scheduleSummary.intervalDays":"{days} ’ਤੇ {interval}","settings.automations.scheduleSummary.intervalHourly":"ਘੰਟਾਵਾਰ","settings.automations.scheduleSummary.singleDay":"{day} ਨੂੰ {time} ਵਜੇ","settings.automations.scheduleSummary.weekdays":"{time} ਨੂੰ ਵੀਕਡੇਅਜ਼","settings.automations.scheduleSummary.weekdaysLabel":"ਵੀਕਡੇਅਜ਼","settings.automations.scheduleSummary.weekends":"{time} ’ਤੇ ਵੀਕਐਂਡਸ","settings.automations.scheduleSummary.weekendsLabel":"ਵੀਕਐਂਡਸ","settings.automations.scheduleSummary.weekly":"{days} ਨੂੰ {time} ਵਜੇ","settings.automations.scheduleWeekdays":"ਚਾਲੂ","settings.automations.weekdayState.excluded":"ਬਾਹਰ","settings.automations.weekdayState.included":"ਸ਼ਾਮਲ","settings.conversationDetail.steps":"ਕਦਮ","settings.conversationDetail.steps.description":"ਕਮਾਂਡ ਅਤੇ ਆਉਟਪੁੱਟ ਛੁਪਾਓ","settings.conversationDetail.stepsWithCommands":"ਕੋਡ ਕਮਾਂਡਾਂ ਵਾਲੇ ਕਦਮ","settings.conversationDetail.stepsWithCommands.description":"ਕਮਾਂਡ ਦਿਖਾਓ, ਆਉਟਪੁੱਟ ਬੰਦ ਕਰੋ","settings.conversationDetail.stepsWithOutput":"ਕੋਡ ਆਉਟਪੁੱਟ ਵਾਲੇ ਕਦਮ","settings.conversationDetail.stepsWithOutput.description":"ਕਮਾਂਡ ਦਿਖਾਓ ਅਤੇ ਆਉਟਪੁੱਟ ਐਕਪੈਂਡ ਕਰੋ","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"ਕੋਈ ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਚੈਟ ਨਹੀਂ ਹੈ।","settings.dataControls.archivedChats.error":"ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਚੈਟਾਂ ਲੋਡ ਨਹੀਂ ਕੀਤੀਆਂ ਜਾ ਸਕੀਆਂ।","settings.dataControls.archivedChats.loading":"ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਚੈਟਾਂ ਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","settings.dataControls.archivedChats.unarchive":"ਪੁਰਾਲੇਖ ਵਿੱਚੋਂ ਹਟਾਉ","settings.dataControls.archivedChats.unarchiveError":"ਚੈਟ ਨੂੰ ਪੁਰਾਲੇਖ ਵਿੱਚੋਂ ਹਟਾਉਣਾ ਅਸਫਲ","settings.dataControls.archivedChats.unarchiveSuccess":"ਥ੍ਰੈਡ ਪੁਰਾਲੇਖ ਵਿੱਚੋਂ ਹਟਾਓ। <viewNowLink>ਹੁਣੇ ਦੇਖੋ</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"ਗੈਰ-ਪੁਰਾਲੇਖ ਥ੍ਰੈਡ।","settings.dataControls.archivedChats.untitled":"ਬਿਨਾਂ ਸਿਰਲੇਖ ਚੈਟ","settings.dataControls.archivedChats.viewNow":"ਹੁਣੇ ਦੇਖੋ","settings.editRow.headerPlaceholder":"ਕੀਅ","settings.editRow.removeEntry":"ਐਂਟਰੀ ਹਟਾਉ","settings.editRow.valuePlaceholder":"ਮੁੱਲ","settings.general.appearance":"ਦਿੱਖ","settings.general.appearance.codeFont":"ਕੋਡ ਫੌਂਟ","settings.general.appearance.codeFont.description":"ਚੈਟਾਂ ਅਤੇ ਡਿਫਾਂ ਵਿੱਚ ਕੋਡ ਲਈ ਵਰਤੇ ਗਏ ਫੌਂਟ ਅਤੇ ਆਕਾਰ ਨੂੰ ਐਡਜਸਟ ਕਰੋ","settings.general.appearance.codeFontFamily":"ਕੋਡ ਫੌਂਟ ਫੈਮਲੀ","settings.general.appearance.codeFontSize":"ਕੋਡ ਫੌਂਟ ਆਕਾਰ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ਵਿੰਡੋਜ਼ ਨੂੰ ਸਿਸਟਮ ਪਾਰਦਰਸ਼ਤਾ ਦੀ ਬਜਾਏ ਠੋਸ ਬੈਕਗ੍ਰਾਉਂਡ ਦੀ ਵਰਤੋਂ ਕਰਨ ਦਿਉ","settings.general.appearance.opaqueWindows.label":"ਅਪਾਰਦਰਸ਼ੀ ਵਿੰਡੋ ਬੈਕਗ੍ਰਾਊਂਡ ਦੀ ਵਰਤੋਂ ਕਰੋ","settings.general.appearance.sansFontFamily":"ਸਾਂਸ ਫੌਂਟ ਫੈਮਲੀ","settings.general.appearance.sansFontFamily.description":"Codex UI ਲਈ ਵਰਤੇ ਜਾਂਦੇ ਫੌਂਟਾਂ ਨੂੰ ਅਡਜਸਟ ਕਰੋ","settings.general.appearance.sansFontSize":"ਸਾਂਸ ਫੌਂਟ ਆਕਾਰ","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark ਦੇ ਪਹਿਲੇ ਮੋੜ 'ਤੇ ਚੱਲਣ ਦੌਰਾਨ ਪੂਰੀ-ਵਿੰਡੋ ਵਾਲਾ ਜਸ਼ਨ ਪ੍ਰਭਾਵ ਦਿਖਾਓ।","settings.general.appearance.sparkCelebrationEffects.label":"ਸਪਾਰਕ ਜਸ਼ਨ ਪ੍ਰਭਾਵ","settings.general.appearance.theme":"ਥੀਮ","settings.general.appearance.theme.dark":"ਗੂੜ੍ਹੀ","settings.general.appearance.theme.description":"ਰੌਸ਼ਨ, ਗੂੜ੍ਹਾ, ਜਾਂ ਆਪਣੇ ਸਿਸਟਮ ਨਾਲ ਮੇਲ ਖਾਂਦੇ ਨੂੰ ਵਰਤੋ","settings.general.appearance.theme.light":"ਹਲਕੀ","settings.general.appearance.theme.system":"ਸਿਸਟਮ","settings.general.appearance.usePointerCursors.description":"ਇੰਟਰਐਕਟਿਵ ਐਲੀਮੈਂਟਸ ਉੱਤੇ ਹੋਵਰ ਕਰਦੇ ਸਮੇਂ ਕਰਸਰ ਨੂੰ ਪੁਆਇੰਟਰ ਵਿੱਚ ਬਦਲੋ","settings.general.appearance.usePointerCursors.label":"ਪੁਆਇੰਟਰ ਕਰਸਰ ਵਰਤੋ","settings.general.enterBehavior.description":"ਜਦੋ ਸਮਰੱਥਿਤ ਹੋਵੇ, ਇੱਕ ਜਿਆਦਾ ਲਾਈਨ ਵਾਲੇ ਪ੍ਰੋਪਟ ਨੂੰ ਭੇਜਣ ਲਈ {modifierSymbol} + ਐਂਟਰ ਦੱਬੋ।","settings.general.enterBehavior.label":"{modifierSymbol} + ਲੰਬੇ ਪ੍ਰੋਂਪਟ ਭੇਜਣ ਲਈ ਐਂਟਰ ਦੱਬਣਾ ਲੋੜੀਂਦਾ ਹੈ","settings.general.experimentalFeatures":"ਪ੍ਰਯੋਗਾਤਮਕ ਫੀਚਰ (ਬੀਟਾ)","settings.general.experimentalFeatures.empty":"ਕੋਈ ਬੀਟਾ ਪ੍ਰਯੋਗਾਤਮਕ ਫੀਚਰ ਉਪਲਬਧ ਨਹੀਂ।","settings.general.experimentalFeatures.loading":"ਪ੍ਰਯੋਗਾਤਮਕ ਫੀਚਰ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","settings.general.experimentalFeatures.restartNote":"ਪ੍ਰਯੋਗਾਤਮਕ ਫੀਚਰ ਤਬਦੀਲੀਆਂ ਲਾਗੂ ਕਰਨ ਲਈ Codex ਨੂੰ ਮੁੜ ਚਾਲੂ ਕਰੋ","settings.general.experimentalFeatures.toggle":"{featureName} ਟੋਗਲ ਕਰੋ","settings.general.followUpQueueMode.description":"Codex ਚੱਲਣ ਸਮੇਂ ਫਾਲੋ-ਅੱਪ ਕਿਊ ਜਾਂ ਮੌਜੂਦਾ ਰਨ ਵਿੱਚ ਸਟੀਰ ਕਰੋ। ਇੱਕ ਸੁਨੇਹੇ ਲਈ ਉਲਟਾ ਕਰਨ ਲਈ {invertFollowUpShortcutLabel} ਦੱਬੋ।","settings.general.followUpQueueMode.interrupt":"ਸਟੀਰ","settings.general.followUpQueueMode.label":"ਫਾਲੋ-ਅੱਪ ਵਿਹਾਰ","settings.general.followUpQueueMode.queue":"Queue","settings.general.notifications":"ਸੂਚਨਾਵਾਂ","settings.general.power.preventSleepWhileRunning.description":"ਆਪਣੇ ਕੰਪਿਊਟਰ ਨੂੰ ਚੱਲਦਾ ਰੱਖੋ ਜਦੋਂ Codex ਇੱਕ ਥ੍ਰੈਡ ਰਨ ਕਰ ਰਿਹਾ ਹੈ।","settings.general.power.preventSleepWhileRunning.label":"ਰਨ ਕਰਨ ਦੌਰਾਨ ਸਲੀਪ ਨੂੰ ਰੋਕੋ","settings.git.branchPrefix.ariaLabel":"ਸ਼ਾਖਾ ਪ੍ਰੀਫਿਕਸ","settings.git.branchPrefix.description":"Codex ਵਿੱਚ ਨਵੀਆਂ ਸ਼ਾਖਾਵਾਂ ਬਣਾਉਣ ਵੇਲੇ ਵਰਤੇ ਪ੍ਰੀਫਿਕਸ","settings.git.branchPrefix.label":"ਸ਼ਾਖਾ ਪ੍ਰੀਫਿਕਸ","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"ਸ਼ਾਖਾ ਪ੍ਰੀਫਿਕਸ ਨੂੰ ਸੇਵ ਕਰਨਾ ਅਸਫਲ","settings.git.branchPrefix.save.success":"ਸੇਵ ਕੀਤੇ ਸ਼ਾਖਾ ਪ੍ਰੀਫਿਕਸ","settings.git.commitInstructions.ariaLabel":"ਕਮਿੱਟ ਹਦਾਇਤਾਂ","settings.git.commitInstructions.description":"ਸੁਨੇਹਾ ਜਨਰੇਸ਼ਨ ਪ੍ਰੋਂਪਟਾਂ ਨੂੰ ਕਮਿਟ ਕਰਨ ਲਈ ਸ਼ਾਮਲ ਕੀਤਾ ਗਿਆ","settings.git.commitInstructions.label":"ਕਮਿੱਟ ਹਦਾਇਤਾਂ","settings.git.commitInstructions.placeholder":"ਕਮਿਟ ਸੁਨੇਹਾ ਮਾਰਗਦਰਸ਼ਨ ਸ਼ਾਮਲ ਕਰੋ...","settings.git.commitInstructions.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.git.commitInstructions.save.error":"ਕਮਿਟ ਨਿਰਦੇਸ਼ਾਂ ਨੂੰ ਸੁਰੱਖਿਅਤ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","settings.git.commitInstructions.save.success":"ਸੇਵ ਕੀਤੀਆਂ ਕਮਿੱਟ ਹਦਾਇਤਾਂ","settings.git.forcePush.ariaLabel":"ਹਮੇਸ਼ਾ ਫੋਰਸ ਪੁਸ਼ ਕਰੋ","settings.git.forcePush.description":"Codex ਤੋਂ ਪੁਸ਼ ਕਰਨ ਵੇਲੇ --force-with-lease ਦੀ ਵਰਤੋਂ ਕਰੋ","settings.git.forcePush.label":"ਹਮੇਸ਼ਾ ਫੋਰਸ ਪੁਸ਼ ਕਰੋ","settings.git.forcePush.save.disabled":"ਹਮੇਸ਼ਾ ਫੋਰਸ ਪੁਸ਼ ਬੰਦ","settings.git.forcePush.save.enabled":"ਹਮੇਸ਼ਾ ਫੋਰਸ ਪੁਸ਼ ਚਾਲੂ","settings.git.forcePush.save.error":"ਫੋਰਸ ਪੁਸ਼ ਸੈਟਿੰਗ ਨੂੰ ਸੇਵ ਕਰਨਾ ਅਸਫਲ","settings.git.prInstructions.ariaLabel":"ਪੁੱਲ ਬੇਨਤੀ ਹਦਾਇਤਾਂ","settings.git.prInstructions.description":"Codex ਦੁਆਰਾ ਬਣਾਏ ਗਏ ਪੁੱਲ ਬੇਨਤੀ ਬਾਡੀਜ਼ ਨਾਲ ਸ਼ਾਮਲ ਕੀਤਾ ਗਿਆ","settings.git.prInstructions.label":"ਪੁੱਲ ਬੇਨਤੀ ਹਦਾਇਤਾਂ","settings.git.prInstructions.placeholder":"ਪੁੱਲ ਬੇਨਤੀ ਮਾਰਗਦਰਸ਼ਨ ਸ਼ਾਮਲ ਕਰੋ...","settings.git.prInstructions.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.git.prInstructions.save.error":"ਪੁੱਲ ਬੇਨਤੀ ਨਿਰਦੇਸ਼ਾਂ ਨੂੰ ਰੱਖਿਅਤ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","settings.git.prInstructions.save.success":"ਪੁੱਲ ਬੇਨਤੀ ਹਦਾਇਤਾਂ ਸੇਵ ਕੀਤੀਆਂ","settings.ide.defaultOpenTarget.description":"ਜਿੱਥੇ ਫਾਈਲਾਂ ਤੇ ਫੋਲਡਰ ਡਿਫਾਲਟ ਖੁੱਲਦੇ ਹਨ","settings.ide.defaultOpenTarget.label":"ਡਿਫਾਲਟ ਓਪਨ ਡੇਸਟੀਨੇਸ਼ਨ","settings.ide.defaultOpenTarget.placeholder":"ਕੋਈ ਟਾਰਗੈੱਟ ਨਹੀਂ ਲੱਭਿਆ","settings.ide.language.auto":"ਸਵੈ-ਖੋਜ","settings.ide.language.autoOption":"ਸਵੈ-ਖੋਜ","settings.ide.language.description":"ਐਪ UI ਲਈ ਭਾਸ਼ਾ","settings.ide.language.label":"ਭਾਸ਼ਾ","settings.ide.language.search":"ਭਾਸ਼ਾਵਾਂ ਖੋਜੋ","settings.layout.actionButton":"ਐਕਸਟੈਂਸ਼ਨ ਰੀਸਟਾਰਟ ਕਰੋ","settings.layout.actionTitle":"ਕਾਰਵਾਈ ਵਿੱਚ ਸੈਟਿੰਗਾਂ","settings.layout.fullWidthTitle":"ਸੈਟਿਗਾਂ (ਪੂਰੀ ਚੌੜਾਈ)","settings.layout.title":"ਸੈਟਿੰਗਾਂ","settings.localEnvironments.actions.add":"ਕਾਰਵਾਈ ਸ਼ਾਮਲ ਕਰੋ","settings.localEnvironments.actions.add.description":"ਟੂਲਬਾਰ ਤੋਂ ਰਨ ਕਰਨ ਲਈ ਨਵੀਂ ਕਮਾਂਡ ਬਣਾਉ।","settings.localEnvironments.actions.add.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.localEnvironments.actions.empty":"ਲੋਕਲ ਟੂਲਬਾਰ ਤੋਂ ਕਮਾਂਡਾਂ ਰਨ ਕਰਨ ਲਈ ਕਾਰਵਾਈ ਸ਼ਾਮਲ ਕਰੋ","settings.localEnvironments.actions.icon.debug":"ਡੀਬੱਗ","settings.localEnvironments.actions.icon.run":"ਰਨ ਕਰੋ","settings.localEnvironments.actions.icon.test":"ਟੈਸਟ","settings.localEnvironments.actions.icon.tool":"ਟੂਲ","settings.localEnvironments.actions.item.button.delete":"ਮਿਟਾਓ","settings.localEnvironments.actions.item.command":"ਕਾਰਵਾਈ ਸਕ੍ਰਿਪਟ","settings.localEnvironments.actions.item.name":"ਨਾਮ","settings.localEnvironments.actions.item.platforms":"ਪੇਲਫਾਰਮ","settings.localEnvironments.actions.item.platforms.help":"ਸਿਰਫ ਵਿਸ਼ੇਸ਼ OS ’ਤੇ ਰਨ ਕਰੋ।","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"ਪਲੇਟਫਾਰਮ ਚੋਣ","settings.localEnvironments.actions.item.platforms.specific":"ਪਲੇਟਫਾਰਮ ਵਿਸ਼ੇਸ਼","settings.localEnvironments.actions.item.platforms.windows":"ਵਿੰਡੋਜ਼","settings.localEnvironments.actions.item.tooltip.delete":"ਮਿਟਾਓ","settings.localEnvironments.actions.title":"ਕਾਰਵਾਈਆਂ","settings.localEnvironments.breadcrumb.back":"ਵਾਪਸ","settings.localEnvironments.breadcrumb.edit":"ਸੰਪਾਦਿਤ ਕਰੋ","settings.localEnvironments.breadcrumb.root":"ਵਾਤਾਵਰਣ","settings.localEnvironments.environment.actions.description":"ਇਹ ਕਾਰਵਾਈਆਂ ਕੋਈ ਵੀ ਕਮਾਂਡ ਰਨ ਕਰ ਸਕਦੀਆਂ ਹਨ ਅਤੇ ਇਹ ਹੈਡਰ ’ਤੇ ਦਿਖਾਈਆਂ ਜਾਣਗੀਆਂ।","settings.localEnvironments.environment.actionsLabel":"ਕਾਰਵਾਈਆਂ","settings.localEnvironments.environment.create":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਬਣਾਓ","settings.localEnvironments.environment.defaultName":"ਲੋਕਲ","settings.localEnvironments.environment.edit":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਐਡਿਟ ਕਰੋ","settings.localEnvironments.environment.empty":"ਅਜੇ ਇਸ ਪ੍ਰੋਜੈਕਟ ਲਈ ਕੋਈ ਵੀ ਲੋਕਲ ਵਾਤਾਵਰਣ ਕੌਨਫਿਗਰ ਨਹੀਂ ਕੀਤਾ ਹੋਇਆ।","settings.localEnvironments.environment.name":"ਨਾਮ","settings.localEnvironments.environment.setup":"ਸੈੱਟਅੱਪ ਸਕ੍ਰਿਪਟ","settings.localEnvironments.environment.setup.description":"ਇਹ ਸਕ੍ਰਿਪਟ ਵਰਕਟਰੀ ਸਿਰਜਣਾ ’ਤੇ ਰਨ ਹੋਵੇਗੀ।","settings.localEnvironments.environment.setup.hint":"ਪ੍ਰੋਜੈਕਟ ਰੂਟ ਵਿੱਚ ਚੱਲਦਾ ਹੈ।","settings.localEnvironments.environment.setup.platformOverrides":"ਪਲੇਟਫਾਰਮ ਓਵਰਰਾਈਡਾਂ","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} ਸੈੱਟਅੱਪ ਸਕ੍ਰਿਪਟਾਂ ਸ਼ਾਮਲ ਕਰੋ","settings.localEnvironments.environment.setup.platformOverrides.description":"ਵਿਸ਼ੇਸ਼ OS ਲਈ ਡਿਫਾਲਟ ਸਕ੍ਰਿਪਟ ਓਵਰਰਾਈਡ ਕਰਦਾ ਹੈ।","settings.localEnvironments.environment.setup.platformOverrides.remove":"ਹਟਾਉ","settings.localEnvironments.environment.setup.script":"ਸਕ੍ਰਿਪਟ","settings.localEnvironments.environment.title":"ਵਾਤਾਵਰਮ ਵੇਰਵੇ","settings.localEnvironments.file.missing":"ਇਸ ਫਾਈਲ ਨੂੰ ਪਹਿਲੀ ਵਾਰ ਬਣਾਉਣ ਲਈ ਸੇਵ ਕਰੋ।","settings.localEnvironments.file.parseError":"ਮੌਜੂਦਾ ਫਾਈਲ ਨੂੰ ਪਾਰਸ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ। ਸੇਵ ਹੋਣ ਨਾਲ ਇਹ ਓਵਰਰਾੀਟ ਹੋ ਜਾਵੇਗੀ। ({error})","settings.localEnvironments.file.path":"ਫਾਈਲ: {path}","settings.localEnvironments.file.readError":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਡਾਟਾ ਨੂੰ ਲੋਡ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ। ({error})","settings.localEnvironments.file.title":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਫਾਈਲ","settings.localEnvironments.loading.body":"ਤੁਹਾਡੀ ਪ੍ਰੋਜੈਕਟ ਕੌਂਫਿਗਰੇਸ਼ਨ ਫੈੱਚ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ।","settings.localEnvironments.loading.title":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","settings.localEnvironments.preview.devOnly":"(ਸਿਰਫ DEV)","settings.localEnvironments.preview.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.localEnvironments.preview.saveError":"ਫਾਈਲ ਸੇਵ ਕਰਨ ਵਿੱਚ ਅਸਫਲ। ({error})","settings.localEnvironments.preview.title":"ਪੂਰਵ-ਝਲਕ","settings.localEnvironments.save.disabled.name":"ਸੰਭਾਲਣ ਲਈ ਵਾਤਾਵਰਣ ਨਾਮ ਭਰੋ।","settings.localEnvironments.save.disabled.noChanges":"ਸੰਭਾਲਣ ਲਈ ਕੋਈ ਬਦਲਾਅ ਨਹੀ ਹਨ।","settings.localEnvironments.save.disabled.saving":"ਸੇਵ ਹੋ ਰਿਹਾ ਹੈ...","settings.localEnvironments.save.success":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਸੇਵ ਕੀਤਾ","settings.localEnvironments.unavailable.body":"ਇਸ ਪ੍ਰੋਜੈਕਟ ਲਈ ਅਸੀਂ ਸਥਾਨਕ ਵਾਤਾਵਰਣ ਸੈਟਿੰਗਾਂ ਨੂੰ ਲੋਡ ਨਹੀਂ ਕਰ ਸਕੇ।","settings.localEnvironments.unavailable.title":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਉਪਲਬਧ ਨਹੀਂ","settings.localEnvironments.workspace.add":"ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","settings.localEnvironments.workspace.title":"ਪ੍ਰੋਜੈਕਟ","settings.localEnvironments.workspaceSelect.addLabel":"ਵਾਤਾਵਰਣ ਸ਼ਾਮਲ ਕਰੋ","settings.localEnvironments.workspaceSelect.description":"ਸਥਾਨਕ ਵਾਤਾਵਰਣ Codex ਨੂੰ ਦੱਸਦੇ ਹਨ ਕਿ ਪ੍ਰੋਜੈਕਟ ਲਈ ਵਰਕਟਰੀਜ਼ ਨੂੰ ਸੈੱਟ ਅੱਪ ਕਿੰਝ ਕਰਨਾ ਹੈ। {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ਅਜੇ ਕੋਈ ਪ੍ਰੋਜੈਕਟ ਨਹੀਂ। ਸਥਾਨਕ ਵਾਤਾਵਰਣਾਂ ਨੂੰ ਕੌਨਫਿਗਰ ਕਰਨ ਲਈ ਇੱਕ ਵਾਤਾਵਰਣ ਜੋੜੋ।","settings.localEnvironments.workspaceSelect.errorLabel":"ਵਾਤਾਵਰਣ ਲਈ ਧਿਆਨ ਲੋੜੀਂਦਾ ਹੈ","settings.localEnvironments.workspaceSelect.learnMore":"ਵਧੇਰੇ ਜਾਣੋ","settings.localEnvironments.workspaceSelect.listLabel":"ਉਪਲਬਧ ਪ੍ਰੋਜੈਕਟ","settings.localEnvironments.workspaceSelect.loading":"ਪ੍ਰੋਜੈਕਟਾਂ ਨੂੰ ਲੋਡ ਕਰ ਰਿਹਾ ਹੈ","settings.localEnvironments.workspaceSelect.loadingLabel":"ਵਾਤਾਵਰਣ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","settings.localEnvironments.workspaceSelect.title":"ਇੱਕ ਪ੍ਰੋਜੈਕਟ ਚੁਣੋ","settings.localEnvironments.workspaceSelect.viewAction":"ਦੇਖੋ","settings.mcp.addServer":"ਸਰਵਰ ਜੋੜੋ","settings.mcp.app.configure":"ਕੌਨਫਿਗਰ","settings.mcp.app.connect":"ਕੁਨੈਕਟ ਕਰੋ","settings.mcp.apps.refresh":"ਰੀਫਰੈਸ਼","settings.mcp.detail.addArgument":"ਤਕਰੀਰ ਜੋੜੋ","settings.mcp.detail.addEnvVar":"ਵਾਤਾਵਰਣ ਵੇਰੀਏਬਲ ਜੋੜੋ","settings.mcp.detail.addEnvVarPassthrough":"ਵੇਰੀਏਬਲ ਜੋੜੋ","settings.mcp.detail.args":"ਤਕਰੀਰਾਂ","settings.mcp.detail.back":"ਵਾਪਸ","settings.mcp.detail.command":"ਲਾਂਚ ਕੀਤੀ ਜਾਣ ਵਾਲੀ ਕਮਾਂਡ","settings.mcp.detail.cwd":"ਵਰਕਿੰਗ ਡਾਇਰੈਕਟਰੀ","settings.mcp.detail.docs":"MCP ਦਸਤਾਵੇਜ਼ੀਕਰਨ ਖੋਲ੍ਹੋ","settings.mcp.detail.docs.link":"ਦਸਤਾਵੇਜ","settings.mcp.detail.envVarPassthrough":"ਵਾਤਾਵਰਣ ਵੇਰੀਏਬਲ ਪਾਸਥਰੂ","settings.mcp.detail.envVars":"ਵਾਤਾਵਰਣ ਵੇਰੀਏਬਲ","settings.mcp.detail.http.addEnvHeader":"ਵੇਰੀਏਬਲ ਜੋੜੋ","settings.mcp.detail.http.addHeader":"ਹੈਡਰ ਜੋੜੋ","settings.mcp.detail.http.bearerToken":"ਧਾਰਕ ਟੋਕਨ env var","settings.mcp.detail.http.envHeaders":"ਵਾਤਾਵਰਣ ਵੇਰੀਏਬਲ ਤੋਂ ਹੈਡਰਸ","settings.mcp.detail.http.headers":"ਹੈਡਰਸ","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"ਨਾਮ","settings.mcp.detail.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.mcp.detail.switchTransportNotice":"ਜੇ ਤੁਸੀਂ MCP ਸਰਵਰ ਟਾਈਪ ਬਦਲਣਾ ਚਾਹੁੰਦੇ ਹੋ, ਤਾਂ ਕਿਰਪਾ ਕਰਕੇ ਪਹਿਲਾਂ ਅਣਇੰਸਟਾਲ ਕਰੋ।","settings.mcp.detail.titleExisting":"{name} MCP ਅੱਪਡੇਟ ਕਰੋ","settings.mcp.detail.titleNew":"ਕਿਸੀ ਕਸਟਮ MCP ਨਾਲ ਕੁਨੈਕਟ ਕਰੋ","settings.mcp.detail.transport.http":"ਸਟਰੀਮੇਬਲ HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"ਅਣਇੰਸਟਾਲ ਕਰੋ","settings.mcp.empty":"ਕੋਈ ਵੀ ਕਸਟਮ MCP ਸਰਵਰ ਕੁਨੈਕਟ ਨਹੀਂ","settings.mcp.myServers":"ਕਸਟਮ ਸਰਵਰ","settings.mcp.partnerServer.description.figma":"ਸਮੁੱਚੇ Figma ਸੰਦਰਭ ਨੂੰ ਸ਼ਾਮਲ ਕਰਕੇ ਬਿਹਤਰ ਕੋਡ ਤਿਆਰ ਕਰਵਾਓ","settings.mcp.partnerServer.description.github":"ਵਰਕਫਲੋ ਨੂੰ ਆਟੋਮੇਟ ਕਰਨ ਅਤੇ ਡਾਟਾ ਐਕਸਟਰੈਕਟ ਕਰਨ ਵਾਸਤੇ GitHub API ਨਾਲ ਏਕੀਕ੍ਰਿਤ ਕਰੋ","settings.mcp.partnerServer.description.linear":"Linear ਦੇ ਮਸਲੇ ਟਰੈਕਿੰਗ ਅਤੇ ਪ੍ਰੋਜੈਕਟ ਮੈਨੇਜਮੈਂਟ ਨਾਲ ਏਕੀਕ੍ਰਿਤ ਕਰੋ","settings.mcp.partnerServer.description.notion":"ਦਸਤਾਵੇਜ ਪੜ੍ਹੋ, ਪੰਨੇ ਅੱਪਡੇਟ ਕਰੋ, ਕਾਰਜ ਪ੍ਰਬੰਧਿਤ ਕਰੋ","settings.mcp.partnerServer.description.playwright":"ਡਿਜਾਈਨ ਅਤੇ ਟੈਸਟ UI ਨੂੰ ਇੰਪਲੀਮੈਂਟ ਕਰਨ ਲਈ ਬ੍ਰਾਊਜ਼ਰ ਆਟੋਮੇਸ਼ਨ ਨੂੰ ਏਕੀਕ੍ਰਿਤ ਕਰੋ।","settings.mcp.partnerServer.install":"ਸਥਾਪਿਤ ਕਰੋ","settings.mcp.partnerServer.installAndAuthenticate":"ਇੰਸਟਾਲ ਅਤੇ ਪ੍ਰਮਾਣੀਕਰਨ ਕਰੋ","settings.mcp.partnerServer.logoAlt":"{label} ਲੋਗੋ","settings.mcp.partnerServer.manage":"ਪ੍ਰਬੰਧਨ ਕਰੋ","settings.mcp.partnerServer.vendor":"{vendor} ਵੱਲੋਂ","settings.mcp.recommendedServers":"ਸੁਝਾਏ ਸਰਵਰ","settings.mcp.restartApp":"ਰੀਸਟਾਰਟ","settings.mcp.restartExtension":"ਐਕਸਟੈਂਸ਼ਨ ਰੀਸਟਾਰਟ ਕਰੋ","settings.mcp.server.enable":"ਚਾਲੂ ਕਰੋ","settings.mcp.server.login":"ਪ੍ਰਮਾਣੀਕਰਨ","settings.mcp.server.settings":"ਸੈਟਿੰਗਾਂ","settings.multiselect.createOption":'"{value}" ਬਣਾਓ',"settings.multiselect.removeOption":"ਹਟਾਉ","settings.nav.account":"ਖਾਤਾ","settings.nav.agent":"ਬਣਤਰ","settings.nav.ariaLabel":"ਸੈਟਿੰਗਾਂ","settings.nav.back":"ਐਪ ਵੱਲ ਵਾਪਸ","settings.nav.data-controls":"ਪੁਰਾਲੇਖ ਕੀਤੇ ਥ੍ਰੈਡ","settings.nav.environments":"ਕਲਾਊਡ ਵਾਤਾਵਰਣ","settings.nav.externalTooltip":"[alpha] ਬ੍ਰਾਊਜ਼ਰ ਵਿੱਚ ਖੁੱਲ੍ਹਦਾ ਹੈ","settings.nav.general-settings":"ਆਮ","settings.nav.git-settings":"Git","settings.nav.local-environments":"ਵਾਤਾਵਰਣ","settings.nav.mcp-settings":"MCP ਸਰਵਰ","settings.nav.notImplemented":"[alpha] ਐਲਫਾ ਵਿੱਚ ਉਪਲਬਧ ਨਹੀਂ","settings.nav.personalization":"ਵਿਅਕਤੀਗਤ ਬਣਾਉਣਾ","settings.nav.skills-settings":"ਹੁਨਰ","settings.nav.usage-analytics":"ਵਰਤੋਂ ਅਤੇ ਵਿਸ਼ਲੇਸ਼ਣ","settings.nav.worktrees":"ਵਰਕਟਰੀ","settings.openSourceLicenses.back":"ਵਾਪਸ","settings.openSourceLicenses.loading":"ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","settings.openSourceLicenses.missing":"ਕੋਈ ਤੀਜੀ-ਧਿਰ ਸੂਚਨਾ ਨਹੀਂ ਮਿਲੀ।","settings.openSourceLicenses.notSupported":"ਇਸ ਹੋਸਟ ਵਿੱਚ ਉਪਲਬਧ ਨਹੀਂ।","settings.openSourceLicenses.rowDescription":"ਬੰਡਲਡ ਡਿਪੈਂਡੇਂਸੀਜ਼ ਲਈ ਤੀਜੀ-ਧਿਰ ਸੂਚਨਾਵਾਂ","settings.openSourceLicenses.rowLabel":"ਓਪਨ ਸੋਰਸ ਲਾਇਸੰਸਜ਼","settings.openSourceLicenses.subtitle":"ਇਸ ਐਪ ਵਿੱਚ ਸ਼ਾਮਲ ਡਿਪੈਂਡੇਂਸੀਜ਼ ਲਈ ਤੀਜੀ-ਧਿਰ ਸੂਚਨਾਵਾਂ","settings.openSourceLicenses.title":"ਓਪਨ ਸੋਰਸ ਲਾਇਸੰਸਜ਼","settings.openSourceLicenses.view":"ਦੇਖੋ","settings.personalization.agents.description":"ਹਦਾਇਤਾਂ ਐਡਿਟ ਕਰੋ ਜੋ Codex ਤੁਹਾਡੇ ਅਨੁਕੂਲ ਬਣਾਉਂਦਾ ਹੈ। {learnMore}","settings.personalization.agents.learnMore":"ਵਧੇਰੇ ਜਾਣੋ","settings.personalization.agents.loadError":"agents.md ਨੂੰ ਲੋਡ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ।","settings.personalization.agents.loading":"agents.md ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ","settings.personalization.agents.placeholder":"ਆਪਣੀਆਂ ਕਸਟਮ ਹਦਾਇਤਾਂ ਜੋੜੋ","settings.personalization.agents.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","settings.personalization.agents.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.personalization.agents.save.error":"agents.md ਨੂੰ ਸੁਰੱਖਿਅਤ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","settings.personalization.agents.save.success":"agents.md ਸੁਰੱਖਿਅਤ ਕੀਤਾ","settings.personalization.agents.title":"ਕਸਟਮ ਹਦਾਇਤਾਂ","settings.personalization.personality.description":"ਕੋਡੈਕਸ ਜਵਾਬਾਂ ਲਈ ਇੱਕ ਡਿਫੌਲਟ ਟੋਨ ਚੁਣੋ","settings.personalization.personality.label":"ਵਿਅਕਤੀਤਤਵ","settings.sample.contentBody":"ਇਸ ਲੇਆਉਟ ਦੀ ਵਰਤੋਂ ਆਪਣੇ ਸੈਟਿੰਗ ਪੈਨਲਾਂ ਨੂੰ ਇਕਸਾਰ ਸਪੇਸਿੰਗ ਨਾਲ ਬਣਾਉਣ ਲਈ ਕਰੋ।","settings.sample.contentTitle":"ਸੈਂਪਲ ਕੰਟੈਂਟ ਬਲੌਕ","settings.section.account":"ਖਾਤਾ","settings.section.agent":"ਬਣਤਰ","settings.section.data-controls":"ਪੁਰਾਲੇਖ ਕੀਤੇ ਥ੍ਰੈਡ","settings.section.environments":"ਕਲਾਊਡ ਵਾਤਾਵਰਣ","settings.section.external":"ਐਲਫਾ ਦੌਰਾਨ ਤੁਹਾਡੇ ਬ੍ਰਾਊਜ਼ਰ ਵਿੱਚ ਖੋਲ੍ਹਦਾ ਹੈ","settings.section.general-settings":"ਆਮ","settings.section.git-settings":"Git","settings.section.local-environments":"ਵਾਤਾਵਰਣ","settings.section.mcp-settings":"MCP ਸਰਵਰ","settings.section.mcp-settings.docs":"ਦਸਤਾਵੇਜ","settings.section.mcp-settings.subtitle":"ਬਾਹਰੀ ਟੂਲ ਅਤੇ ਡਾਟਾ ਸ੍ਰੋਤ ਕੁਨੈਕਟ ਕਰੋ","settings.section.personalization":"ਵਿਅਕਤੀਗਤ ਬਣਾਉਣਾ","settings.section.skills-settings":"ਹੁਨਰ","settings.section.unavailable":"ਅਜੇ ਐਲਫਾ ਵਿੱਚ ਉਪਲਬਧ ਨਹੀਂ","settings.section.usage-analytics":"ਵਰਤੋਂ ਅਤੇ ਵਿਸ਼ਲੇਸ਼ਣ","settings.section.worktrees":"ਵਰਕਟਰੀ","settings.threadDetail.description":"ਚੁਣੋ ਕਿ ਥ੍ਰੈੱਡਾਂ ਵਿੱਚ ਕਿੰਨਾ ਕਮਾਂਡ ਆਉਟਪੁੱਟ ਦਿਖਾਉਣਾ ਹੈ।","settings.threadDetail.label":"ਥ੍ਰੈਡ ਵੇਰਵਾ","settings.worktrees.conversation.untitled":"ਬਿਨ੍ਹਾਂ ਸਿਰਲੇਖ ਗੱਲਬਾਤ","settings.worktrees.delete.error":"ਵਰਕਟਰੀ ਨੂੰ ਡਿਲੀਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","settings.worktrees.empty.body":"Codex ਵੱਲੋਂ ਬਣਾਏ ਵਰਰਟਰੀ ਇੱਥੇ ਦਿਖਾਈ ਦੇਣਗੇ।","settings.worktrees.empty.title":"ਅਜੇ ਕੋਈ ਵਰਕਟਰੀ ਨਹੀਂ","settings.worktrees.error.body":"ਵਰਕਟਰੀ ਲੋਡ ਕਰਨ ਵੇਲੇ ਕੁਝ ਗੜਬੜ ਹੋਈ।","settings.worktrees.error.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","settings.worktrees.error.title":"ਵਰਕਟਰੀ ਲੋਡ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","settings.worktrees.loading.body":"ਵਰਕਟਰੀ ਵੇਰਵੇ ਪ੍ਰਾਪਤ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ।","settings.worktrees.loading.title":"ਵਰਕਟਰੀ ਲੋਡ ਹੋ ਰਹੇ ਹਨ","settings.worktrees.repository.loading":"ਰੀਪੌਜ਼ੀਟਰੀ ਮੈਟਾਡਾਟਾ ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","settings.worktrees.repository.unknown":"ਅਣਜਾਣ ਰੀਪੌਜ਼ੀਟਰੀਆਂ","settings.worktrees.row.conversations":"ਗੱਲਬਾਤਾਂ","settings.worktrees.row.conversations.empty":"ਇਸ ਵਰਕਟਰੀ ਨਾਲ ਕੋਈ ਗੱਲਬਾਤ ਲਿੰਕ ਨਹੀਂ ਹੈ।","settings.worktrees.row.conversations.loading":"ਗੱਲਬਾਤ ਲੋਡ ਕੀਤੀ ਜੀ ਰਹੀ ਹੈ...","settings.worktrees.row.delete":"ਮਿਟਾਓ","settings.worktrees.row.title":"ਵਰਕਟਰੀ","sidebarElectron.addWorkspaceRoot":"ਨਵਾਂ ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","sidebarElectron.archiveThread":"ਥ੍ਰੈਡ ਪੁਰਾਲੇਖਬੱਧ ਕਰੋ","sidebarElectron.archiveThreadError":"ਥ੍ਰੈਡ ਪੁਰਾਲੇਖਬੱਧ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","sidebarElectron.collapseFolder":"ਫੋਲਡਰ ਬੰਦ ਕਰੋ","sidebarElectron.createStableWorktree.dialog.cancel":"ਰੱਦ ਕਰੋ","sidebarElectron.createStableWorktree.dialog.create":"ਬਣਾਉ","sidebarElectron.debugNavLink":"ਡੀਬੱਗ","sidebarElectron.editWorkspaceRootOptionName":"ਨਾਮ ਸੰਪਾਦਨ ਕਰੋ","sidebarElectron.expandFolder":"ਫੋਲਡਰ ਵਧਾਓ","sidebarElectron.groupByMenu.recency":"ਕ੍ਰਮਵਾਰ ਸੂਚੀ","sidebarElectron.groupByMenu.title":"ਸੰਸਥਾਗਤ ਕਰੋ","sidebarElectron.groupByMenu.workspace":"ਪ੍ਰੋਜੈਕਟ ਦੁਆਰਾ","sidebarElectron.inboxRouteNavLink":"ਆਟੋਮੇਸ਼ਨਾਂ","sidebarElectron.markThreadUnread":"ਅਨਰੀਡ ਵਜੋਂ ਮਾਰਕ ਕਰੋ","sidebarElectron.missingWorkspaceRoot":"ਇਹ ਪ੍ਰੋਜੈਕਟ ਫੋਲਡਰ ਮਿਟਾ ਦਿੱਤਾ ਗਿਆ ਸੀ ਜਾਂ ਸਥਾਨ ਬਦਲ ਦਿੱਤਾ ਗਿਆ ਸੀ।","sidebarElectron.newThread":"ਨਵਾਂ ਥ੍ਰੈੱਡ","sidebarElectron.newThreadInGroup":"{folder} ਵਿੱਚ ਨਵਾਂ ਥ੍ਰੈਡ ਸ਼ੁਰੂ ਕਰੋ","sidebarElectron.noRecentThreads":"ਕੋਈ ਹਾਲੀਆ ਥ੍ਰੈਡ ਨਹੀਂ","sidebarElectron.noTasks":"ਕੋਈ ਥ੍ਰੈਡ ਨਹੀਂ","sidebarElectron.noTasks.start":"ਨਵਾਂ ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","sidebarElectron.noTasksWithFilter":"ਕੋਈ ਫਿਲਟਰ ਨਾਲ ਮੇਲ ਖਾਂਦੇ ਥ੍ਰੈਡ ਨਹੀਂ","sidebarElectron.pinnedThreads":"ਪਿੰਨ ਕੀਤੇ ਥ੍ਰੈਡ","sidebarElectron.recentNavLink":"ਥਰੈਡਸ","sidebarElectron.recentThreads":"ਹਾਲੀਆ ਥ੍ਰੈਡ","sidebarElectron.removeWorkspaceRootOption":"ਹਟਾਉ","sidebarElectron.renameThread":"ਥ੍ਰੈਡ ਦਾ ਨਾਮ ਬਦਲੋ","sidebarElectron.renameThreadDialogAriaLabel":"ਥ੍ਰੈਡ ਸਿਰਲੇਖ","sidebarElectron.renameThreadDialogCancel":"ਰੱਦ ਕਰੋ","sidebarElectron.renameThreadDialogPlaceholder":"ਇੱਕ ਸਿਰਲੇਖ ਸ਼ਾਮਲ ਕਰੋ...","sidebarElectron.renameThreadDialogSave":"ਸੁਰੱਖਿਅਤ ਕਰੋ","sidebarElectron.renameThreadDialogSubtitle":"ਇਸਨੂੰ ਛੋਟਾ ਅਤੇ ਪਛਾਨਣਯੋਗ ਰੱਖੋ।","sidebarElectron.renameThreadDialogTitle":"ਥ੍ਰੈਡ ਦਾ ਨਾਮ ਬਦਲੋ","sidebarElectron.renameThreadError":"ਥ੍ਰੈਡ ਦਾ ਨਾਮ ਬਦਲਣ ਵਿੱਚ ਅਸਫਲ","sidebarElectron.renameWorkspaceRootOptionLabel":"ਡਿਸਪਲੇਅ ਨਾਮ","sidebarElectron.showLess":"ਘੱਟ ਦਿਖਾਉ","sidebarElectron.showMenu.all":"ਸਾਰੇ ਥਰੈਡਸ","sidebarElectron.showMenu.relevant":"ਸਾਰਥਕ","sidebarElectron.showMenu.relevantHint":"ਮੌਜੂਦਾ ਸ਼ਾਖਾ, ਵਰਕਟਰੀਜ਼, ਜਾਂ ਹੋਰ ਥਰੈਡਾਂ ਜਿਨ੍ਹਾਂ ਨੂੰ ਤੁਹਾਡੇ ਧਿਆਨ ਦੀ ਲੋੜ੍ਹ ਹੈ, ਕੇਵਲ ਉਨ੍ਹਾਂ ਲਈ ਹਾਲੀਆ ਥਰੈਡ ਦਿਖਾਉ","sidebarElectron.showMenu.title":"ਦਿਖਾਓ","sidebarElectron.showMenu.tooltip":"ਫਿਲਟਰ ਕਰੋ, ਸੌਰਟ ਕਰੋ ਅਤੇ ਥ੍ਰੈਡਾਂ ਨੂੰ ਵਿਵਸਥਿਤ ਕਰੋ","sidebarElectron.showMenu.trigger":"ਸਾਈਡਬਾਰ ਥ੍ਰੈਡ ਫਿਲਟਰ ਕਰੋ","sidebarElectron.showMore":"ਹੋਰ ਦਿਖਾਉ","sidebarElectron.skillsRouteNavLink":"ਹੁਨਰ","sidebarElectron.sortMenu.created":"ਬਣਾਇਆ ਗਿਆ","sidebarElectron.sortMenu.title":"ਇਸ ਰਾਹੀਂ ਕ੍ਰਮ ਕਰੋ","sidebarElectron.sortMenu.updated":"ਅੱਪਡੇਟ ਕੀਤਾ ਗਿਆ","sidebarElectron.taskNavigation":"ਆਟੋਮੇਸ਼ਨ ਫੋਲਡਰ","sidebarElectron.tasksInFolder":"{folder} ਵਿੱਚ ਆਟੋਮੇਸ਼ਨਾਂ","sidebarElectron.workspaceOptions":"{folder} ਲਈ ਪ੍ਰੋਜੈਕਟ ਕਾਰਵਾਈਆਂ","sidebarElectron.worktreeGroupTooltip":"ਇਹ git ਵਰਕਟਰੀ ਹੈ","skills.appsPage.createSkill":"ਨਵਾਂ ਸਕਿੱਲ","skills.appsPage.empty.skills":"ਕੋਈ ਹੁਨਰ ਨਹੀਂ ਲੱਭਿਆ ਗਿਆ","skills.appsPage.search.skills":"ਹੁਨਰ ਖੋਜੋ","skills.appsPage.search.skills.label":"ਹੁਨਰ ਖੋਜੋ","skills.appsPage.section.installedApps":"ਇੰਸਟਾਲ ਹੈ","skills.appsPage.section.skills":"ਹੁਨਰ","skills.appsPage.subheading":"codex ਨੂੰ ਸੁਪਰਪਾਵਰਜ਼ ਦਿਓ। <link>ਵਧੇਰੇ ਜਾਣੋ</link>","skills.appsPage.tab.recommended":"ਸੁਝਾਇਆ","skills.appsPage.tab.skills":"ਹੁਨਰ","skills.card.contentsError":"ਸਕਿੱਲ ਕੰਟੈਂਟ ਲੋਡ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ।","skills.card.disable":"ਅਸਮਰੱਥ ਕਰੋ","skills.card.disableSuccess":"{skillName} ਸਕਿੱਲ ਬੰਦ","skills.card.disabledBadge":"ਬੰਦ ਕੀਤਾ","skills.card.enable":"ਚਾਲੂ ਕਰੋ","skills.card.enableSuccess":"{skillName} ਸਕਿੱਲ ਚਾਲੂ","skills.card.loadingContents":"ਸਕਿੱਲ ਕੰਟੈਂਟ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","skills.card.more":"ਵਧੇੇਰੇ ਕਾਰਵਾਈਆਂ","skills.card.open":"ਖੋਲ੍ਹੋ","skills.card.removeFailed":"ਹੁਨਰ ਨੂੰ ਇੰਸਟਾਲ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","skills.card.removeSuccess":"{skillName} ਸਕਿੱਲ ਅਨਇੰਸਟਾਲ ਕੀਤਾ","skills.card.toggleEnabledError":"ਸਕਿੱਲ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","skills.card.try":"ਅਜਮਾਓ","skills.card.trySkill":"ਸਕਿੱਲ ਅਜਮਾਓ","skills.card.uninstall":"ਅਣਇੰਸਟਾਲ ਕਰੋ","skills.hero.dotLabel":"{index} ਸਲਾਈਡ ’ਤੇ ਜਾਉ","skills.hero.next":"ਅਗਲਾ ਫੀਚਰ ਸਕਿੱਲ","skills.hero.trySkill":"ਸਕਿੱਲ ਅਜਮਾਓ","skills.page.createSkill":"ਨਵਾਂ ਸਕਿੱਲ","skills.page.empty":"ਕੋਈ ਹੁਨਰ ਨਹੀਂ ਲੱਭਿਆ ਗਿਆ","skills.page.filteredEmpty":"ਕੋਈ ਵੀ ਸਕਿੱਲ ਤੁਹਾਡੇ ਫਿਲਟਰ ਨਾਲ ਮੈਚ ਨਹੀਂ ਕਰਦੇ","skills.page.filteredEmptyDescription":"ਆਪਣੀ ਖੋਜ ਜਾਂ ਸਕੋਪ ਫਿਲਟਰ ਨੂੰ ਅਡਜਸਟ ਕਰਨ ਦੀ ਕੋਸ਼ਿਸ਼ ਕਰੋ","skills.page.heading":"ਹੁਨਰ","skills.page.loading":"ਹੁਨਰ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","skills.page.refreshSkills":"ਰੀਫਰੈਸ਼","skills.page.refreshSkillsToUseNew":"ਨਵੇਂ ਹੁਨਰਾਂ ਦੀ ਵਰਤੋਂ ਕਰਨ ਲਈ ਰੀਫਰੈਸ਼ ਕਰੋ","skills.page.search":"ਹੁਨਰ ਖੋਜੋ","skills.page.search.label":"ਹੁਨਰ ਖੋਜੋ","skills.page.subheading":"codex ਨੂੰ ਸੁਪਰਪਾਵਰਜ਼ ਦਿਓ। <link>ਵਧੇਰੇ ਜਾਣੋ</link>","skills.preview.copyPrompt":"ਪ੍ਰੋਂਪਟ ਕਾਪੀ ਕਰੋ","skills.preview.examplePrompt":"ਪ੍ਰੋਂਪਟ ਦੀ ਉਦਾਹਰਣ","skills.recommended.error":"ਸੁਝਾਏ ਗਏ ਸਕਿੱਲ ਲੋਡ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","skills.recommended.install":"ਸਥਾਪਿਤ ਕਰੋ","skills.recommended.installSkill":"ਹੁਨਰ ਇੰਸਟਾਲ ਕਰੋ","skills.recommended.installSuccess":"{skillName} ਸਕਿੱਲ ਇੰਸਟਾਲ ਕੀਤੀ","skills.recommended.installed":"ਇੰਸਟਾਲ ਹੈ","skills.scope.admin":"ਪ੍ਰਬੰਧਕ","skills.scope.adminInstalled":"ਪ੍ਰਬੰਧਕ ਇੰਸਟਾਲ ਹੈ","skills.scope.builtIn":"ਸਿਸਟਮ","skills.scope.personal":"ਵਿਅਕਤੀਗਤ","skills.scope.repo":"ਰੀਪੋ","skills.scope.system":"ਸਿਸਟਮ","skills.scope.team":"ਟੀਮ","skills.scope.user":"ਵਰਤੋਂਕਾਰ","skills.section.installed":"ਇੰਸਟਾਲ ਹੈ","skills.section.recommended":"ਸੁਝਾਇਆ","story.slidingToggle.existing":"ਮੌਜੂਦਾ","story.slidingToggle.fromLocal":"ਲੋਕਲ ਤੋਂ","story.slidingToggle.new":"ਨਵਾਂ","story.slidingToggle.toLocal":"ਲੋਕਲ ਨੂੰ","terminal.close":"ਟਰਮੀਨਲ ਬੰਦ ਕਰੋ","terminal.title":"ਟਰਮੀਨਲ","thinkingShimmer.default":"ਸੋਚ ਰਿਹਾ ਹੈ","threadEnvIcon.cloudTooltip":"ਇਹ ਗੱਲਬਾਤ ਕਿਸੇ Codex ਕਲਾਊਡ ਵਿੱਚ ਚੱਲ ਰਹੀ ਹੈ।","threadEnvIcon.localTooltip":"ਇਹ ਗੱਲਬਾਤ ਲੋਕਲੀ ਰਨ ਕਰ ਰਹੀ ਹੈ।","threadEnvIcon.worktreeTooltip":"ਇਹ ਗੱਲਬਾਤ ਕਿਸੇ ਸਥਾਨਕ git ਵਰਕਟਰੀ ਵਿੱਚ ਚੱਲ ਰਹੀ ਹੈ।","threadHeader.archiveConfirmCancel":"ਰੱਦ ਕਰੋ","threadHeader.archiveConfirmConfirm":"ਪੁਰਾਲੇਖ","threadHeader.archiveConfirmSubtitle":"ਤੁਸੀਂ ਬਾਅਦ ਵਿੱਚ ਆਪਣੇ ਪੁਰਾਲੇਖ ਕੀਤੇ ਥ੍ਰੈਡ ਦੇਖ ਸਕਦੇ ਹੋ।","threadHeader.archiveConfirmTitle":"ਥ੍ਰੈਡ ਪੁਰਾਲੇਖ ਕਰੋ","threadHeader.copyAppLink":"ਡੀਪਲਿੰਕ ਕਾਪੀ ਕਰੋ","threadHeader.copySessionId":"ਸੈਸ਼ਨ id ਕਾਪੀ ਕੀਤੀ","threadHeader.copyWorkingDirectory":"ਵਰਕਿੰਗ ਡਾਇਰੈਕਟਰੀ ਕਾਪੀ ਕਰੋ","threadHeader.forkIntoLocal":"ਲੋਕਲ ਵਿੱਚ ਫੋਰਕ","threadHeader.forkIntoWorktree":"ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਫੋਰਕ ਕਰੋ","threadHeader.forkPendingWorktreePrompt":"ਇਸ ਗੱਲਬਾਤ ਨੂੰ ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਫੋਰਕ ਕਰੋ।","threadHeader.forkPendingWorktreeTitle":"ਫੋਰਕ ਕੀਤੀ ਗੱਲਬਾਤ","threadHeader.forkThreadError":"ਥ੍ਰੈਡ ਨੂੰ ਫੋਰਕ ਕਰਨਾ ਅਸਫਲ","threadHeader.forkThreadRequiresGitRepo":"ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਜਾਣ ਲਈ ਇੱਕ ਗਿੱਟ ਰਿਪੋਜ਼ਟਰੀ ਦੀ ਲੋੜ ਹੁੰਦੀ ਹੈ","threadHeader.moreActions":"ਥ੍ਰੈਡ ਕਾਰਵਾਈਆਂ","threadPage.newThread":"ਨਵਾਂ ਥ੍ਰੈੱਡ","threadPage.runAction.changeEnvironment":"ਵਾਤਾਵਰਣ ਬਦਲੋ","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} ਕਾਰਵਾਈਆਂ","threadPage.runAction.environmentSelector.label":"ਵਾਤਾਵਰਣ ਚੁਣੋ","threadPage.runAction.label":"ਰਨ ਕਰੋ","threadPage.runAction.missing.label":"ਇੱਕ ਰਨ ਐਕਸ਼ਨ ਸੈੱਟ ਅੱਪ ਕਰੋ","threadPage.runAction.setup.commandLabel":"ਰਨ ਕਰਨ ਲਈ ਕਮਾਂਡ ਦਿਓ","threadPage.runAction.setup.description":"Codex ਨੂੰ ਦੱਸੋ ਕਿ ਨਿਰਭਰਤਾਵਾਂ ਨੂੰ ਇੰਸਟਾਲ ਕਿੰਝ ਕਰਨਾ ਹੈ ਅਤੇ ਆਪਣੀ ਐਪ ਨੂੰ ਸ਼ੁਰੂ ਕਿੰਝ ਕਰਨਾ ਹੈ।","threadPage.runAction.setup.editMore":"ਵਾਤਾਵਰਣ ਸੈਟਿੰਗਾਂ","threadPage.runAction.setup.placeholder":"ਉਦਾਹਰਣ ਵਜੋਂ: npm ਇੰਸਟਾਲ npm ਰਨ","threadPage.runAction.setup.submit":"ਸੁਰੱਖਿਅਤ ਕਰੋ ਅਤੇ ਰਨ ਕਰੋ","threadPage.runAction.setup.title":"ਰਨ ਕਰੋ","threadPage.runAction.tooltip.withEnvironment":"{environmentName} ਕਾਰਵਾਈਆਂ","threadPage.toggleDiffPanel":"ਡਿੱਫ ਪੈਨਲ ਬਦਲੋ","threadPage.toggleTerminal":"ਟਰਮੀਨਲ ਟੋਗਲ ਕਰੋ","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ਫੋਲਡਰ ਖੋਲ੍ਹੋ","toolSummaryForCmd.exploredFiles":"<verb>ਸੂਚੀਬੱਧ</verb> ਕੀਤੀਆਂ ਫਾਈਲਾਂ","toolSummaryForCmd.exploredFilesInPath":"{path} ਵਿੱਚ ਫਾਈਲਾਂ <verb>ਸੂਚੀਬੱਧ</verb> ਕੀਤੀਆਂ","toolSummaryForCmd.exploringFiles":"ਫਾਈਲਾਂ <verb>ਸੂਚੀਬੱਧ</verb> ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ","toolSummaryForCmd.exploringFilesInPath":"{path} ਵਿੱਚ ਫਾਈਲਾਂ <verb>ਸੂਚੀਬੱਧ</verb> ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ","toolSummaryForCmd.ranGenericCommand":"<status>ਕਮਾਂਡ ਰਨ ਕੀਤੀ</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ran</status> {command}{timer}","toolSummaryForCmd.read":"{path} <verb>ਪੜ੍ਹੋ</verb>","toolSummaryForCmd.runningGenericCommand":"<status>ਕਮਾਂਡ ਰਨ ਕੀਤੀ</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} ਲਈ","toolSummaryForCmd.searchedFor":"{query} ਲਈ <verb>ਖੋਜ ਕੀਤੀ</verb>","toolSummaryForCmd.searchedForFiles":"ਫਾਈਲਾਂ <verb>ਲਈ ਖੋਜ ਕੀਤੀ</verb>","toolSummaryForCmd.searchedForInPath":"{path} ਵਿੱਚ {query} ਲਈ <verb>ਖੋਜ ਕੀਤੀ</verb>","toolSummaryForCmd.searchingFor":"{query} ਲਈ <verb>ਖੋਜ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ</verb>","toolSummaryForCmd.searchingForFiles":"ਫਾਈਲਾਂ ਲਈ <verb>ਖੋਜ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ</verb>","toolSummaryForCmd.searchingForInPath":"{path}ਵਿੱਚ {query} ਲਈ <verb>ਲਈ ਖੋਜ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ</verb>","traceRecording.details.noteLabel":"ਜਦੋਂ ਇਹ ਹੋਇਆ ਤਾਂ ਤੁਸੀਂ ਕੀ ਕਰ ਰਹੇ ਸੀ? (ਵਿਕਲਪਿਕ)","traceRecording.details.notePlaceholder":"ਇੱਕ ਵੱਡੇ ਥ੍ਰੈੱਡ 'ਤੇ ਨੈਵੀਗੇਟ ਕੀਤਾ, ਫਿਰ ਵਾਰ-ਵਾਰ ਟੈਬਾਂ ਬਦਲੀ ਕੀਤੀਆਂ...","traceRecording.details.submit":"ਟ੍ਰੇਸ ਭੇਜੋ","traceRecording.details.subtitle":"ਅਸੀਂ ਪ੍ਰਦਰਸ਼ਨ ਸਮੱਸਿਆਵਾਂ ਦੀ ਪਛਾਣ ਕਰਨ ਵਿੱਚ ਮਦਦ ਲਈ ਇਹ ਪ੍ਰੋਫਾਈਲ ਟਰੇਸ ਭੇਜ ਸਕਦੇ ਹਾਂ।","traceRecording.details.title":"ਪ੍ਰੋਫਾਈਲ ਟਰੇਸ ਭੇਜਣਾ ਹੈ?","traceRecording.progress.subtitle":"ਜਦੋਂ ਤੱਕ ਇਹ ਪੂਰਾ ਹੋ ਜਾਂਦਾ ਹੈ, Codex ਨੂੰ ਖੁੱਲ੍ਹਾ ਰੱਖੋ।","traceRecording.saving.title":"ਟਰੇਸ ਸੇਵ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","traceRecording.startDetails.cancel":"ਰੱਦ ਕਰੋ","traceRecording.startDetails.submit":"ਠੀਕ ਹੈ, ਰਿਕਾਰਡਿੰਗ ਸ਼ੁਰੂ ਕਰੋ","traceRecording.startDetails.subtitle":"ਠੀਕ ਹੈ 'ਤੇ ਕਲਿੱਕ ਕਰਨ ਤੋਂ ਬਾਅਦ, ਪ੍ਰਦਰਸ਼ਨ ਮੁੱਦੇ ਨੂੰ ਦੁਬਾਰਾ ਤਿਆਰ ਕਰੋ, ਫਿਰ ਟਰੇਸ ਨੂੰ ਰੋਕਣ ਅਤੇ ਸਮੀਖਿਆ ਕਰਨ ਲਈ ਫਲੋਟਿੰਗ ਲਾਲ ਸੂਚਕ 'ਤੇ ਕਲਿੱਕ ਕਰੋ।","traceRecording.startDetails.title":"ਟਰੇਸ ਰਿਕਾਰਡਿੰਗ ਕਿੰਝ ਕੰਮ ਕਰਦੀ ਹੈ","traceRecording.stopButton.ariaLabel":"ਟਰੇਸ ਰਿਕਾਰਡਿੰਗ ਬੰਦ ਕਰੋ","traceRecording.upload.successToast":"ਪ੍ਰੋਫਾਈਲ ਟਰੇਸ ਭੇਜਿਆ।","traceRecording.uploading.title":"ਟਰੇਸ ਅੱਪਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","wham.diff.addComment":"ਟਿੱਪਣੀ ਜੋੜੋ","wham.diff.binaryFile":"ਬਾਈਨਰੀ ਫਾਈਲ ਨਹੀਂ ਦਿਖਾਈ ਗਈ","wham.diff.noContent":"ਕੋਈ ਸਮੱਗਰੀ ਨਹੀਂ","wham.fileTag.deleted":"ਮਿਟਾਇਆ ਗਿਆ","wham.fileTag.new":"ਨਵਾਂ","wham.formattedRelativeDateTime.compactDaysAgo":"{value}ਦਿ","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ਘੰ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}ਮਿੰ","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}ਮਹੀ","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}ਹਫ","wham.formattedRelativeDateTime.compactYearsAgo":"{value}ਸਾ","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"ਤੁਹਾਡੇ ਕਾਰਜਾਂ ’ਤੇ ਕੰਮ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","wham.whamProposedTask.title":"ਸੁਝਾਏ ਗਏ ਕਾਰਜ","wham.whamProposedTask.useSuggestion":"ਸੁਝਾਅ ਦੀ ਵਰਤੋਂ ਕਰੋ","workspaceRootDialog.addError":"ਪ੍ਰੋਜੈਕਟ ਜੋੜਨ ਵਿੱਚ ਅਸਫਲ","workspaceRootDialog.cancel":"ਰੱਦ ਕਰੋ","workspaceRootDialog.confirmAdd":"ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","workspaceRootDialog.confirmPick":"ਪ੍ਰੋਜੈਕਟ ਦੀ ਵਰਤੋਂ ਕਰੋ","workspaceRootDialog.description":"ਪ੍ਰੋਜੈਕਟ ਵਜੋਂ ਵਰਤੋਂ ਕਰਨ ਲਈ ਇੱਕ {host} ਪਾਥ ਦਰਜ ਕਰੋ।","workspaceRootDialog.pathLabel":"ਪ੍ਰੋਜੈਕਟ ਦਾ ਪਾਥ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"ਪ੍ਰੋਜੈਕਟ ਪਾਥ ਸ਼ਾਮਲ ਕਰੋ","workspaceRootDialog.title.pick":"ਪ੍ਰੋਜੈਕਟ ਦੇ ਰਾਹ ਦੀ ਚੌਣ ਕਰੋ","worktreeInitV2.cancel":"ਰੱਦ ਕਰੋ","worktreeInitV2.notification.failedTitle":"ਵਰਕਟਰੀ ਸੈੱਟਅੱਪ ਅਸਫਲ।","worktreeInitV2.output.empty":"ਆਉਟਪੁੱਟ ਲਈ ਉਡੀਕ ਵਿੱਚ...","worktreeInitV2.status.error":"ਵਰਕਟਰੀ ਸੈੱਟਅੱਪ ਅਸਫਲ।","worktreeInitV2.status.running":"ਇੱਕ ਵਰਕਟਰੀ ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ ਅਤੇ ਸੈੱਟਅੱਪ ਰਨ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ।","worktreeInitV2.status.runningFork":"ਇਸ ਗੱਲਬਾਤ ਨੂੰ ਅੱਗੇ ਵਧਾਉਣ ਲਈ ਇੱਕ ਵਰਕਟਰੀ ਬਣਾਈ ਜਾ ਰਹੀ ਹੈ।","worktreeInitV2.status.success":"ਵਰਕਟਰੀ ਤਿਆਰ।","worktreeInitV2.title":"ਵਰਕਟਰੀ ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ","worktreeInitV2.workLocallyInstead":"ਇਸਦੀ ਬਜਾਇ ਲੋਕਲੀ ਕੰਮ ਕਰੋ","worktreeRestoreBanner.body":"ਇਸ ਥ੍ਰੈੱਡ ਦੇ ਵਰਕਟਰੀ ਨੂੰ ਡਿਸਕ ਸਪੇਸ ਬਚਾਉਣ ਲਈ ਹਟਾ ਦਿੱਤਾ ਗਿਆ ਸੀ।","worktreeRestoreBanner.missing.body":"ਇਸ ਥ੍ਰੈੱਡ ਦੀ ਵਰਕਿੰਗ ਡਾਇਰੈਕਟਰੀ ਹੁਣ ਮੌਜੂਦ ਨਹੀਂ ਹੈ।","worktreeRestoreBanner.missing.title":"ਮੌਜੂਦਾ ਵਰਕਿੰਗ ਡਾਇਰੈਕਟਰੀ ਗੁੰਮ ਗਈ ਹੈ।","worktreeRestoreBanner.restore.error":"ਵਰਕਟਰੀ ਰੀਸਟੋਰ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {message}","worktreeRestoreBanner.restore.success":"ਵਰਕਟਰੀ ਰੀਸਟੋਰ ਕੀਤਾ ਗਿਆ","worktreeRestoreBanner.restoreCta":"ਵਰਕਟਰੀ ਰੀਸਟੋਰ ਕਰੋ","worktreeRestoreBanner.title":"ਵਰਕਟਰੀ ਸਾਫ਼ ਕੀਤਾ ਗਿਆ"};export{e as default};
+const e={"CopyButton.copyTooltip":"ਕਾਪੀ ਕਰੋ","app.sidebar.hide":"ਸਾਈਡਬਾਰ ਛੁਪਾਓ","app.sidebar.show":"ਸਾਈਡਬਾਰ ਦਿਖਾਓ","app.sidebar.tooltip":"ਸਾਈਡਬਾਰ ਟੋਗਲ ਕਰੋ","appHeader.installUpdate":"ਅੱਪਡੇਟ","appSunset.body":"ਐਪ ਦਾ ਇਹ ਸੰਸਕਰਣ ਹੁਣ ਸਮਰਥਿਤ ਨਹੀਂ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਨਵੀਨਤਮ ਸੰਸਕਰਣ <here>ਇੱਥੋ</here> ਡਾਊਨਲੋਡ ਕਰੋ।","appSunset.title":"ਅੱਪਡੇਟ ਲੋੜੀਂਦੀ ਹੈ","automation.updateDirective.create":"ਬਣਾਉ","automation.updateDirective.open":"ਖੋਲ੍ਹੋ","automation.updateDirective.untitled":"ਬਿਨਾਂ ਸਿਰਲੇਖ ਆਟੋਮੇਸ਼ਨ","automation.updateDirective.update":"ਅੱਪਡੇਟ","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# ਕੋਸ਼ਿਸ਼} other {# ਕੋਸ਼ਿਸ਼ਾਂ}}","cloudTaskRow.archiveError":"ਕਾਰਜ ਨੂੰ ਪੁਰਾਲੇਖ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","code.diff.requestChange":"ਬਦਲਾਅ ਲਈ ਬੇਨਤੀ ਕਰੋ","code.diffComment.cancel":"ਰੱਦ ਕਰੋ","code.diffComment.comment":"ਟਿੱਪਣੀ","code.diffComment.delete":"ਮਿਟਾਓ","code.diffComment.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"ਕੋਈ ਲੱਭਤਾਂ ਰਿਪੋਰਟ ਨਹੀਂ ਕੀਤੀਆਂ ਗਈਆਂ।","codex.alert.closeAriaLabel":"ਬੰਦ ਕਰੋ","codex.appUpsellBanner.cbpApi.message":"ਕੋਡੈਕਸ ਐਪ ਨਾਲ ਤੇਜ਼ੀ ਨਾਲ ਬਣਾਓ। ਹੁਣੇ ਡਾਊਨਲੋਡ ਕਰੋ ਜਾਂ{learnMoreLink}.","codex.appUpsellBanner.download":"ਡਾਊਨਲੋਡ","codex.appUpsellBanner.freeGo.message":"ਕੋਡੈਕਸ ਤੁਹਾਡੀ ਯੋਜਨਾ ਵਿੱਚ 2 ਮਾਰਚ ਤੱਕ ਸ਼ਾਮਲ ਹੈ। ਤੇਜ਼ੀ ਨਾਲ ਬਣਾਓਣ ਲਈ ਕੋਡੈਕਸ ਐਪ ਇਸਤੇਮਾਲ ਕਰੋ।","codex.appUpsellBanner.later":"ਬਾਅਦ ਵਿੱਚ","codex.appUpsellBanner.learnMoreLowercase":"ਵਧੇਰੇ ਜਾਣੋ","codex.appUpsellBanner.new":"ਨਵਾਂ","codex.appUpsellBanner.proPlusBusiness.message":"ਕੋਡੈਕਸ ਐਪ ਨਾਲ ਤੇਜ਼ੀ ਨਾਲ ਬਣਾਓ। ਹੁਣੇ ਡਾਊਨਲੋਡ ਕਰੋ ਜਾਂ{learnMoreLink}.","codex.appUpsellBanner.title":"Codex ਐਪ","codex.applyDropdown.header.changes":"ਬਦਲਾਅ","codex.applyDropdown.header.fileCount":"{count, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}}","codex.applyDropdown.header.rows":"ਕਤਾਰਾਂ","codex.applyDropdown.header.title":"ਬਦਲਾਵ ਲਾਗੂ ਕਰੋ","codex.applyDropdown.header.workspace":"ਪ੍ਰੋਜੈਕਟ","codex.applyDropdown.results.conflicted":"{count, plural, one {1 ਫਾਈਲ ਨੇ ਟਕਰਾਅ ਕੀਤਾ:} other {{count} ਫਾਈਲਾਂ ਨੇ ਟਕਰਾਅ ਕੀਤਾ:}}","codex.applyDropdown.results.empty":"ਕੋਈ ਵੀ ਫਾਈਲ ਕਾਪੀ ਨਹੀਂ ਕੀਤੀ ਗਈ","codex.applyDropdown.results.skipped":"{count, plural, one {1 ਫਾਈਲ ਸਕਿੱਪ ਕੀਤੀ ਗਈ:} other {{count} ਫਾਈਲਾਂ ਸਕਿੱਪ ਕੀਤੀਆਂ ਗਈਆਂ:}}","codex.applyOrRevertBanner.apply":"ਲਾਗੂ ਕਰੋ","codex.applyOrRevertBanner.applyMessage":"ਬਦਲਾਅ ਲਾਗੂ ਕਰਨੇ ਹਨ ਅਤੇ ਲੋਕਲੀ ਜਾਰੀ ਰੱਖਣਾ ਹੈ?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ਇਹ ਕਾਰਜ {environment} ਵਿੱਚ ਬਣਾਇਆ ਗਿਆ ਸੀ, ਇਸ ਲਈ ਸਪੱਸ਼ਟ ਲਾਗੂ ਨਹੀਂ ਹੋ ਸਕਦਾ।","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"ਬਦਲਾਅ {environment} ਵਿੱਚ ਕੀਤੇ ਗਏ ਹਨ, ਇਸ ਲਈ ਸਪੱਸ਼ਟ ਲਾਗੂ ਨਹੀਂ ਹੋ ਸਕਦੇ।","codex.applyOrRevertBanner.reapply":"ਮੁੜ ਲਾਗੂ ਕਰੋ","codex.applyOrRevertBanner.revert":"ਪਹਿਲਾਂ ਵਾਂਗ ਕਰੋ","codex.applyOrRevertBanner.revertMessage":"ਲਾਗੂ ਕੀਤੇ ਬਦਲਾਅ ਵਾਪਸ ਕਰਨੇ ਹਨ?","codex.applyResultsDialog.applied":"ਸਪੱਸ਼ਟ ਲਾਗੂ ਕੀਤੇ ({count})","codex.applyResultsDialog.close":"ਬੰਦ ਕਰੋ","codex.applyResultsDialog.conflicted":"ਟਕਰਾਅ ({count})","codex.applyResultsDialog.noDetails":"ਕੋਈ ਫਾਈਲ ਵੇਰਵੇ ਉਪਲਬਧ ਨਹੀਂ।","codex.applyResultsDialog.skipped":"ਸਕਿੱਪ ਕੀਤਾ ({count})","codex.applyResultsDialog.title":"ਨਤੀਜੇ ਲਾਗੂ ਕਰੋ","codex.archiveInfo":"{dataControlsLink} ਵਿੱਚ ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਗਈਆਂ ਚੈਟਾਂ ਦੇਖੋ","codex.archiveInfo.dataControlsLink":"ਡੇਟਾ ਕੰਟਰੋਲ","codex.archiveInfo.electron":"{settingsLink} ਵਿੱਚ ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਗਈਆਂ ਚੈਟਾਂ ਦੇਖੋ","codex.archiveInfo.extension":"ਆਪਣੇ .codex ਫੋਲਡਰ ਵਿੱਚ ਆਰਕਾਈਵ ਕੀਤੀਆਂ ਚੈਟਾਂ ਦੇਖੋ","codex.archiveInfo.settingsLink":"ਸੈਟਿੰਗਾਂ","codex.banner.content.description":"ਕਾਰਜਾਂ ਨੂੰ ਸਮਾਂਤਰ ਰਨ ਕਰੋ, ਕਿਸੇ ਵੀ ਜਗ੍ਹਾ ਪ੍ਰਗਤੀ ਟਰੈਕ ਕਰੋ ਅਤੇ AI ਨਾਲ PRs ਦੀ ਸਮੀਖਿਆ ਕਰੋ।","codex.banner.content.headline":"Codex ਇਹ ਸਭ ਕਰਦਾ ਹੈ।","codex.cloudTaskRow.archiveTask":"ਕਾਰਜ ਨੂੰ ਆਰਕਾਈਵ ਕਰੋ","codex.cloudTaskRow.confirmArchiveTask":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.command.feedback":"ਫੀਡਬੈਕ","codex.command.findInThread":"ਲੱਭੋ","codex.command.forceReloadSkills":"ਰੀਲੋਡ ਸਕਿੱਲ ਫੋਰਸ ਕਰੋ","codex.command.logOut":"ਲਾਗ ਆਊਟ","codex.command.manageTasks":"ਕਾਰਜਾਂ ਦਾ ਪ੍ਰਬੰਧਨ ਕਰੋ","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"ਵਾਪਸ","codex.command.navigateForward":"ਅੱਗੇ ਭੇਜੋ","codex.command.newThread":"ਨਵਾਂ ਥ੍ਰੈੱਡ","codex.command.nextThread":"ਅਗਲਾ ਥ੍ਰੈਡ","codex.command.openFolder":"ਫੋਲਡਰ ਖੋਲ੍ਹੋ","codex.command.openSkills":"ਸਕਿੱਲਸ ’ਤੇ ਜਾਓ","codex.command.openThreadOverlay":"ਥ੍ਰੈਡ ਪੌਪ ਆਊਟ ਕਰੋ","codex.command.personalitySettings":"ਵਿਅਕਤੀਤਤਵ","codex.command.previousThread":"ਪਿਛਲਾ ਥ੍ਰੈਡ","codex.command.settings":"ਸੈਟਿੰਗਾਂ","codex.command.toggleDiffPanel":"ਡਿੱਫ ਪੈਨਲ ਬਦਲੋ","codex.command.toggleSidebar":"ਸਾਈਡਬਾਰ ਟੋਗਲ ਕਰੋ","codex.command.toggleTerminal":"ਟਰਮੀਨਲ ਟੋਗਲ ਕਰੋ","codex.commandGroup.app":"ਐਪ","codex.commandGroup.configure":"ਕੌਨਫਿਗਰ","codex.commandGroup.navigation":"ਨੇਵੀਗੇਸ਼ਨ","codex.commandGroup.panels":"ਪੈਨਲ","codex.commandGroup.skills":"ਹੁਨਰ","codex.commandGroup.thread":"ਥ੍ਰੈਡ","codex.commandGroup.workspace":"ਪ੍ਰੋਜੈਕਟ","codex.commandMenu.noResults":"ਕੋਈ ਮੇਲ ਨਹੀਂ","codex.commandMenu.searchPlaceholder":"ਖੋਜ ਕਮਾਂਡਾਂ","codex.commandMenu.suggestedGroup":"ਸਲਾਹ ਦਿੱਤੀ ਗਈ","codex.commandMenu.switchWorkspace":"ਪ੍ਰੋਜੈਕਟ ਬਦਲੋ","codex.commandMenu.title":"ਕਮਾਂਡ ਮੀਨੂੰ","codex.common.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","codex.composer.searchBranches":"ਸ਼ਾਖਾਵਾਂ ਦੀ ਖੋਜ ਕਰੋ","codex.dialog.basic.body":"ਇਹ ਰੈਡਿਕਸ ਡਾਇਲਾਗ ਦੇ ਆਲੇ-ਦੁਆਲੇ ਸਾਡੇ ਰੈਪਰ ਦੀ ਵਰਤੋਂ ਕਰਦਿਆਂ ਇੱਕ ਸਧਾਰਨ ਮਾਡਲ ਡਾਇਲਾਗ ਹੈ।","codex.dialog.basic.cancel":"ਰੱਦ ਕਰੋ","codex.dialog.basic.confirm":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.dialog.basic.open":"ਡਾਇਲਾਗ ਖੋਲ੍ਹੋ","codex.dialog.basic.title":"ਸੈਂਪਲ ਡਾਇਲਾਗ","codex.dialog.long.close":"ਬੰਦ ਕਰੋ","codex.dialog.long.line":"ਡਾਇਲਾਗ ਦੇ ਅੰਦਰ ਲੰਬੀ ਸਮੱਗਰੀ ਦਿਖਾਉਣ ਲਈ ਸਕ੍ਰੋਲ ਕਰਨ ਯੋਗ ਲਾਈਨ {index}।","codex.dialog.long.open":"ਲੰਬਾ ਡਾਇਲਾਗ ਖੋਲ੍ਹੋ","codex.dialog.long.title":"ਲੰਬਾ ਕੰਟੈਂਟ ਡਾਇਲਾਗ","codex.dialog.unstyled.body":"ਇਹ ਕਹਾਣੀ ਦਿਖਾਉਂਦੀ ਹੈ ਕਿ ਕਿਵੇਂ ਡਾਇਲਾਗ ਕੰਟੈਂਟ ਸਟਾਇਲਿੰਗ ਨੂੰ ਕਾਲਰ ਪੂਰੀ ਤਰ੍ਹਾਂ ਨਿਯੰਤਰਿਤ ਕਰ ਸਕਦੇ ਹਨ।","codex.dialog.unstyled.open":"ਅਨਸਟਾਇਲਡ ਡਾਇਲਾਗ ਖੋਲ੍ਹੋ","codex.dialog.unstyled.title":"ਅਨਸਟਾਇਲਡ ਕੰਟੈਂਟ","codex.diff.openInEditorPrompt.openButton":"ਐਡੀਟਰ ਵਿੱਚ ਖੋਲ੍ਹੋ","codex.diff.openInEditorPrompt.singleLine":"ਡਿਫ ਦਿਖਾਉਣ ਲਈ ਇਹ ਫਾਈਲ ਬਹੁਤ ਵੱਡੀ ਹੈ","codex.diffView.failedToDecodeBase64Diff":"base64 ਡਿਫ ਡੀਕੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","codex.diffView.filesChanged":"{fileCount, plural, one {# ਫਾਈਲ ਬਦਲੀ ਗਈ} other {# ਫਾਈਲਾਂ ਬਦਲੀਆਂ ਗਈਆਂ}}","codex.diffView.imagePreviewAlt":"ਤਸਵੀਰ ਪੂਰਵ-ਝਲਕ","codex.diffView.imagePreviewEmpty":"ਕੋਈ ਤਸਵੀਰ ਨਹੀਂ","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"ਕੋਈ ਡਿਫ ਡਾਟਾ ਨਹੀਂ","codex.diffView.pdfPreview.nextPage":"ਅਗਲਾ ਪੰਨਾ","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"ਪਿਛਲਾ ਪੰਨਾ","codex.diffView.pdfPreviewEmpty":"ਕੋਈ ਪੂਰਵ-ਝਲਕ PDF ਨਹੀਂ ਹੈ","codex.diffView.pdfPreviewError":"PDF ਪੂਰਵ-ਝਲਕ ਰੈਂਡਰ ਨਹੀਂ ਕੀਤਾ ਜਾ ਸਕਿਆ","codex.diffView.richPreviewDisable":"ਰਿਚ ਪੂਰਵ-ਝਲਕ ਬੰਦ ਕਰੋ","codex.diffView.richPreviewEnable":"ਰਿਚ ਪੂਰਵ-ਝਲਕ ਚਾਲੂ ਕਰੋ","codex.diffView.richPreviewLoading":"ਪੂਰਵ ਝਲਕ ਲੋਡ ਹੋ ਰਹੀ ਹੈ...","codex.diffView.richPreviewToggle":"ਰਿਚ ਪੂਰਵ-ਝਲਕ ਟੋਗਲ ਕਰੋ","codex.diffView.switchToUnified":"ਯੂਨੀਫਾਈਡ ਡਿਫ ਵਿੱਚ ਸਵਿੱਚ ਕਰੋ","codex.environmentSelector.noEnvironment":"ਕੋਈ ਵਾਤਾਵਰਣ ਨਹੀਂ","codex.environments.environmentSettings":"ਵਾਤਾਵਰਣ ਸੈਟਿੰਗਾਂ","codex.environments.learnMore":"ਵਧੇਰੇ ਜਾਣੋ","codex.environments.listError":"ਵਾਤਵਰਣਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","codex.environments.noEnvironmentsFound":"ਕੋਈ ਵਾਤਾਵਰਣ ਨਹੀਂ ਮਿਲੇ","codex.environments.searchError":"ਵਾਤਾਵਰਣ ਦੀ ਖੋਜ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","codex.errorBoundary.genericError":"ਓਹ, ਇੱਕ ਅਣਜਾਣ ਤਰੁੱਟੀ ਆਈ ਹੈ","codex.errorBoundary.goHome":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","codex.file.patch.missing":"ਇਸ ਫਾਈਲ ਦਾ ਪੈਚ ਤਿਆਰ ਨਹੀਂ ਹੋ ਸਕਿਆ।","codex.gallery.automations.cwdLabel":"ਪ੍ਰੋਜੈਕਟ","codex.gallery.automations.nameLabel":"ਨਾਮ","codex.gallery.automations.namePlaceholder":"ਇੱਕ ਕਾਰਜ ਦਾ ਸਾਰ ਦਿਓ","codex.gallery.automations.promptLabel":"ਪ੍ਰੋਂਪਟ","codex.gallery.automations.promptPlaceholder":"ਵੇਰਵਾ ਦਿਓ ਕਿ Codex ਨੂੰ ਕੀ ਕਰਨਾ ਚਾਹੀਦਾ ਹੈ","codex.gallery.dialogs.automation.label":"ਆਟੋਮੇਸ਼ਨ ਡਾਇਲੋਗ","codex.gallery.dialogs.basic.body":"ਸਿੱਧੀਆਂ ਪੁਸ਼ਟੀਆਂ ਜਾਂ ਛੋਟੇ ਫਾਰਮਾਂ ਲਈ ਇਸ ਲੇਆਉਟ ਦੀ ਵਰਤੋਂ ਕਰੋ।","codex.gallery.dialogs.basic.cancel":"ਰੱਦ ਕਰੋ","codex.gallery.dialogs.basic.confirm":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.gallery.dialogs.basic.label":"ਮੁੱਢਲਾ ਡਾਇਲੋਗ","codex.gallery.dialogs.basic.title":"ਸੈਂਪਲ ਡਾਇਲਾਗ","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"ਸਮੱਸਿਆ ਦਾ ਵਰਨਣ ਕਰੋ","codex.gallery.dialogs.feedbackSubmission.bad":"ਬੁਰਾ ਨਤੀਜਾ","codex.gallery.dialogs.feedbackSubmission.bug":"ਬੱਗ","codex.gallery.dialogs.feedbackSubmission.good":"ਚੰਗਾ ਨਤੀਜਾ","codex.gallery.dialogs.feedbackSubmission.includeLogs":"ਮੌਜੂਦਾ Codex ਸੈਸ਼ਨ ਲੌਗਸ ਸ਼ਾਮਲ ਕਰੋ","codex.gallery.dialogs.feedbackSubmission.label":"ਫੀਡਬੈਕ ਸਬਮਿਸ਼ਨ","codex.gallery.dialogs.feedbackSubmission.other":"ਹੋਰ","codex.gallery.dialogs.feedbackSubmission.placeholder":"ਇੱਥੇ ਸਮੱਸਿਆ ਦਾ ਵਰਨਣ ਕਰੋ","codex.gallery.dialogs.feedbackSubmission.submit":"ਜਮ੍ਹਾਂ ਕਰੋ","codex.gallery.dialogs.feedbackSubmission.title":"ਫੀਡਬੈਕ","codex.gallery.dialogs.feedbackSuccess.body":"ਫੀਡਬੈਕ ਅੱਪਲੋਡ ਕੀਤਾ ਗਿਆ। ਜੇ ਸਮੱਸਿਆ ਬਣੀ ਰਹਿੰਦੀ ਹੈ, ਕਿਰਪਾ ਕਰਕੇ GitHub ਮਸਲਾ ਖੋਲ੍ਹੋ ਜਾਂ ਮੌਜੂਦਾ ਖੁੱਲੇ ਹੋਏ ਮਸਲੇ ‘ਤੇ ਥ੍ਰੈਡ id ਦਾ ਜ਼ਿਕਰ ਕਰੋ।","codex.gallery.dialogs.feedbackSuccess.dismiss":"ਖਾਰਜ ਕਰੋ","codex.gallery.dialogs.feedbackSuccess.label":"ਫੀਡਬੈਕ ਸਫਲਤਾ","codex.gallery.dialogs.feedbackSuccess.title":"ਫੀਡਬੈਕ ਅੱਪਲੋਡ ਕੀਤਾ ਗਿਆ","codex.gallery.dialogs.gitApplyResults.applied":"ਸਪੱਸ਼ਟ ਲਾਗੂ ਕੀਤੇ (2)","codex.gallery.dialogs.gitApplyResults.close":"ਬੰਦ ਕਰੋ","codex.gallery.dialogs.gitApplyResults.conflicted":"ਟਕਰਾਅ (1)","codex.gallery.dialogs.gitApplyResults.label":"ਨਤੀਜੇ ਲਾਗੂ ਕਰੋ","codex.gallery.dialogs.gitApplyResults.title":"ਨਤੀਜੇ ਲਾਗੂ ਕਰੋ","codex.gallery.dialogs.gitPushError.body":"ਜੇਕਰ ਤੁਹਾਨੂੰ ਪਤਾ ਹੈ ਕਿ ਰਿਮੋਟ ਇਤਿਹਾਸ ਨੂੰ ਓਵਰਰਾਈਟ ਕਰਨਾ ਸੁਰੱਖਿਅਤ ਹੈ, ਤਾਂ ਨਵੀਨਤਮ ਤਬਦੀਲੀਆਂ ਨੂੰ ਪੁੱਲ ਕਰੋ ਜਾਂ ਫੋਰਸ ਪੁਸ਼ ਕਰੋ।","codex.gallery.dialogs.gitPushError.cancel":"ਰੱਦ ਕਰੋ","codex.gallery.dialogs.gitPushError.force":"ਫੋਰਸ ਪੁਸ਼","codex.gallery.dialogs.gitPushError.label":"ਪੁਸ਼ ਐਰਰ","codex.gallery.dialogs.gitPushError.subtitle":"ਤੁਹਾਡੀ ਸ਼ਾਖਾ ਮੂਲ/ਮੁੱਖ ਤੋਂ ਪਿੱਛੇ ਹੈ।","codex.gallery.dialogs.gitPushError.title":"ਪੁੱਸ਼ ਬਦਲਾਅ ਪੁੱਸ਼ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","codex.gallery.dialogs.gitRevert.cancel":"ਰੱਦ ਕਰੋ","codex.gallery.dialogs.gitRevert.confirm":"ਪਹਿਲਾਂ ਵਾਂਗ ਕਰੋ","codex.gallery.dialogs.gitRevert.label":"ਬਦਲਾਵ ਪਹਿਲਾਂ ਵਰਗੇ ਕਰੋ","codex.gallery.dialogs.gitRevert.skip":"ਦੁਬਾਰਾ ਨਾ ਪੁੱਛੋ","codex.gallery.dialogs.gitRevert.subtitle":"ਇਹ ਕਾਰਵਾਈ ਇਨ੍ਹਾਂ ਸਾਰੇ ਬਦਲਾਵਾਂ ਨੂੰ ਹਟਾ ਦੇਵੇਗੀ।","codex.gallery.dialogs.gitRevert.title":"ਕੀ ਬਦਲਾਵ ਪਹਿਲਾਂ ਵਰਗੇ ਕਰਨੇ ਹਨ?","codex.gallery.dialogs.longForm.label":"ਲੰਮੇਰਾ ਫਾਰਮ ਡਾਇਲਾਗ","codex.gallery.dialogs.proseModal.body":"ਇਹ ਮਾਡਲ ਸਟਾਇਲ ਲੰਮੇਰੀਆਂ ਹਦਾਇਤਾਂ, ਔਨਬੋਰਡਿੰਗ, ਜਾਂ ਸਮਰਿੱਧ ਸਮੱਗਰੀ ਬਲਾਕਾਂ ਲਈ ਵਰਤਿਆ ਜਾਂਦਾ ਹੈ।","codex.gallery.dialogs.proseModal.close":"ਬੰਦ ਕਰੋ","codex.gallery.dialogs.proseModal.subtitle":"ਇੱਥੇ ਲੰਮੇਰੇ ਫਾਰਮ ਮਾਰਗਦਰਸ਼ਨ ਜਾਂ ਦਸਤਾਵੇਜ਼ ਸਾਂਝੇ ਕਰੋ।","codex.gallery.dialogs.proseModal.title":"ਪਰੋਜ਼ ਮੋਡਲ","codex.gallery.dialogs.submitBlocked.label":"ਸਪੁਰਦਗੀ ਬਲੌਕ ਕੀਤੀ ਗਈ","codex.gallery.dialogs.submitBlocked.message":"ਤੁਹਾਡਾ ਸੁਨੇਹਾ ਭੇਜਿਆ ਨਹੀਂ ਜਾ ਸਕਿਆ ਕਿਉਂਕਿ ਇਹ ਪ੍ਰੋਜੈਕਟ ਉਪਲਬਧ ਨਹੀਂ ਹੈ।","codex.gallery.dialogs.submitBlocked.ok":"ਠੀਕ ਹੈ","codex.gallery.dialogs.submitBlocked.title":"ਸੁਨੇਹਾ ਭੇਜਣ ਵਿੱਚ ਅਸਮਰੱਥ","codex.gallery.dialogs.title":"ਡਾਇਲਾਗਜ਼","codex.gallery.dropdown.filterPlaceholder":"ਆਈਟਮਾਂ ਫਿਲਟਰ ਕਰੋ","codex.gallery.dropdowns.actionRow":"ਕਾਰਵਾਈ ਕਤਾਰਾਂ","codex.gallery.dropdowns.actionRow.disabled":"ਬੰਦ ਕੀਤੀ ਕਾਰਵਾਈ","codex.gallery.dropdowns.actionRow.primary":"ਮੁੱਖ ਕਾਰਵਾਈ","codex.gallery.dropdowns.actionRow.secondary":"ਸੈਕੰਡਰੀ ਕਾਰਵਾਈ","codex.gallery.dropdowns.actionRow.trigger":"ਕਾਰਵਾਈਆਂ ਦਿਖਾਉ","codex.gallery.dropdowns.basic":"ਮੁੱਢਲਾ ਡ੍ਰਾਪਡਾਊਨ","codex.gallery.dropdowns.basic.newFile":"ਨਵੀਂ ਫਾਈਲ","codex.gallery.dropdowns.basic.newFolder":"ਨਵਾਂ ਫੋਲਡਰ","codex.gallery.dropdowns.basic.openSettings":"ਸੈਟਿੰਗਾਂ ਖੋਲ੍ਹੋ","codex.gallery.dropdowns.basic.title":"ਤੁਰਤ ਕਾਰਵਾਈਆਂ","codex.gallery.dropdowns.basic.trigger":"ਮੀਨੂੰ ਖੋਲ੍ਹੋ","codex.gallery.dropdowns.basic.upload":"ਅੱਪਲੋਡ","codex.gallery.dropdowns.panel":"ਪੈਨਲ ਸਤ੍ਹਾ","codex.gallery.dropdowns.panel.apply":"ਲਾਗੂ ਕਰੋ","codex.gallery.dropdowns.panel.body":"ਡਿਫਜ਼ ਦੀ ਸਮੀਖਿਆ ਕਰੋ ਅਤੇ ਆਪਣੇ ਪ੍ਰੋਜੈਕਟ ‘ਤੇ ਲਾਗੂ ਕਰੋ","codex.gallery.dropdowns.panel.preview":"ਪੂਰਵ-ਝਲਕ","codex.gallery.dropdowns.panel.title":"ਬਦਲਾਵ ਲਾਗੂ ਕਰੋ","codex.gallery.dropdowns.panel.trigger":"ਪੈਨਲ ਖੋਲ੍ਹੋ","codex.gallery.dropdowns.search":"ਖੋਜਣਯੋਗ ਡ੍ਰਾਪਡਾਊਨ","codex.gallery.dropdowns.search.first":"ਐਲਫ਼ਾ ਚੈਨਲ","codex.gallery.dropdowns.search.second":"ਬੀਟਾ ਸ਼ਾਖਾ","codex.gallery.dropdowns.search.third":"ਪ੍ਰੀਖਿਆਰਥੀ ਜਾਰੀ ਕਰੋ","codex.gallery.dropdowns.search.trigger":"ਆਈਟਮਾਂ ਫਿਲਟਰ ਕਰੋ","codex.gallery.dropdowns.submenu":"ਸਬ-ਮੀਨੂ ਨਾਲ਼ ਡ੍ਰਾਪਡਾਊਨ","codex.gallery.dropdowns.submenu.optionA":"ਪ੍ਰੋਜੈਕਟ alpha","codex.gallery.dropdowns.submenu.optionB":"ਪ੍ਰੋਜੈਕਟ beta","codex.gallery.dropdowns.submenu.optionC":"ਪ੍ਰੋਜੈਕਟ gamma","codex.gallery.dropdowns.submenu.primary":"ਮਾਲਕ ਨੂੰ ਸਪੁਰਦ ਕਰੋ","codex.gallery.dropdowns.submenu.secondary":"ਵੱਲ ਮੂਲ ਕਰੋ","codex.gallery.dropdowns.submenu.tertiary":"ਪੁਰਾਲੇਖ","codex.gallery.dropdowns.submenu.trigger":"ਕਾਰਵਾਈ ਚੁਣੋ","codex.gallery.dropdowns.title":"ਡ੍ਰਾਪਡਾਊਨਜ਼","codex.gallery.inbox.automations.close":"ਬੰਦ ਕਰੋ","codex.gallery.inbox.automations.popover.cardTitle":"ਆਟੋਮੇਸ਼ਨਾਂ ਦਾ ਪ੍ਰਬੰਧਨ ਕਰੋ","codex.gallery.inbox.automations.popover.dialogTitle":"ਆਟੋਮੇਸ਼ਨਾਂ ਦਾ ਪ੍ਰਬੰਧਨ ਕਰੋ","codex.header.settingsTooltip":"ਸੈਟਿੰਗਾਂ","codex.hunk.patch.error":"ਸਟੇਜ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","codex.hunk.patch.missing":"ਇਸ ਹੰਕ ਦਾ ਪੈਚ ਤਿਆਰ ਨਹੀਂ ਹੋ ਸਕਿਆ।","codex.hunk.patch.partialSuccess":"ਅੰਸ਼ਕ ਸਫਲਤਾ","codex.hunk.patch.revertError":"ਸਟੇਜ ਤੋਂ ਹਟਾਉਣ ਤੋਂ ਅਸਫਲ","codex.hunk.patch.revertSuccess":"ਸਫਲਤਾਪੂਰਵਕ ਅਨਸਟੇਜ ਕੀਤਾ ਗਿਆ","codex.hunk.patch.success":"ਸਫਲਤਾਪੂਰਵਕ ਸਟੇਜ ਕੀਤਾ ਗਿਆ","codex.legal.autonomy.details":"ਵਧੇਰੇ ਵੇਰਵਿਆਂ ਲਈ,{link} ਦੇਖੋ","codex.legal.autonomy.details.link":"Codex ਦਸਤਾਵੇਜ਼","codex.legal.autonomy.title":"ਨਿਸ਼ਚਾ ਕਰੋ ਕਿ ਤੁਸੀਂ ਕਿੰਨੀ ਕੁ ਖੁਦਮੁਖਤਿਆਰੀ ਦੇਣਾ ਚਾਹੁੰਦੇ ਹੋ","codex.legal.backButton":"ਵਾਪਸ","codex.legal.cloud.taskOne.meta":"openai/agi · ਅਕਤੂਬਰ 12","codex.legal.cloud.taskOne.title":"ਇੱਕ ਨਵੇਂ ਡਿਜ਼ਾਈਨਰ ਨੂੰ ਰੀਪੌਜ਼ਟਰੀ ਦੀ ਵਿਆਖਿਆ ਕਰੋ","codex.legal.cloud.taskThree.meta":"openai/codex · ਅਕਤੂਬਰ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"ਇੱਕ ਡਾਰਕਮੋਡ ਥੀਮ ਬਣਾਓ","codex.legal.cloud.taskTwo.meta":"openai/agi · ਅਕਤੂਬਰ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ਇੱਕ ਆਨਬੋਰਡਿੰਗ ਬੱਗ ਨੂੰ ਠੀਕ ਕਰੋ","codex.legal.continue.apikey":"ਜਾਰੀ ਰੱਖੋ","codex.legal.continueButton":"ਅਗਲਾ","codex.legal.copilot.details":"ਸਾਰੀਆਂ ਮਾਡਲ ਕਾਲਾਂ, ਬਿਲਿੰਗ, ਅਤੇ ਦਰ ਸੀਮਾਵਾਂ ਲਈ ਤੁਹਾਡੇ ਕੋਪਾਇਲਟ ਪਲਾਨ ਦੀ ਵਰਤੋਂ ਕਰਦਾ ਹੈ। Codex ਐਕਸਟੈਂਸ਼ਨ ਦੀ ਵਰਤੋਂ {oaiTos} ਅਤੇ {gitHubTos} ਦੋਵਾਂ ਦੇ ਅਧੀਨ ਹੈ।","codex.legal.copilot.gitHubTosLink":"GitHub ਸੇਵਾ ਦੇ ਨੇਮ","codex.legal.copilot.oaiTosLink":"OpenAI Codex ਸੇਵਾ ਦੇ ਨੇਮ","codex.legal.copilot.title":"GitHub ਕੋਪਾਇਲਟ ਵੱਲੋਂ ਸੰਚਾਲਿਤ","codex.legal.mistakes.review":"ਸਮੀਖਿਆ ਕਰੋ ਜੋ ਕੋਡ ਇਹ ਲਿਖਦਾ ਹੈ ਅਤੇ ਇਸਦੇ ਰਨਸ ਨੂੰ ਕਮਾਂਡ ਕਰੋ","codex.legal.mistakes.title":"Codex ਗਲਤੀਆਂ ਕਰ ਸਕਦਾ ਹੈ","codex.legal.powered.details":"ਤੁਹਾਡੇ ਪਲਾਨ ਦੀਆਂ ਦਰ ਸੀਮਾਵਾਂ ਅਤੇ {link} ਦੀ ਵਰਤੋਂ ਕਰਦਾ ਹੈ","codex.legal.powered.details.link":"ਸਿਖਲਾਈ ਡਾਟਾ ਤਰਜੀਹਾਂ","codex.legal.powered.title":"ਤੁਹਾਡੇ ChatGPT ਖਾਤੇ ਵੱਲੋਂ ਸੰਚਾਲਿਤ","codex.legal.step.cloud.subtitle":"Codex ਨੂੰ ਕਾਰਜਾਂ ਨੂੰ ਬੈਕਗ੍ਰਾਊਂਡ ਵਿੱਚ ਚਲਾਉਣ ਲਈ ਭੇਜੋ ਤਾਂ ਜੋ ਤੁਸੀਂ ਧਿਆਨ ਕੇਂਦਰਿਤ ਰੱਖ ਸਕੋ ਅਤੇ ਤੇਜ਼ੀ ਨਾਲ ਅੱਗੇ ਵਧ ਸਕੋ।","codex.legal.step.cloud.title":"ਕਲਾਊਡ ਦੇ ਵਿੱਚ Codex ਨੂੰ ਦੇ ਦਿਓ","codex.legal.step.intro.subtitle":"Codex ਤੁਹਾਡੀ ਰੀਪੌ ਵਿੱਚ ਸਿੱਧਾ ਨੈਵੀਗੇਟ ਕਰਦਾ ਹੈ, ਐਡਿਟ ਕਰਦਾ ਹੈ, ਕਮਾਂਡਾਂ ਰਨ ਕਰਦਾ ਹੈ ਅਤੇ ਟੈਸਟਾਂ ਨੂੰ ਚਲਾਉਂਦਾ ਹੈ। ਤੁਹਾਡੇ ChatGPT ਖਾਤੇ ਦੁਆਰਾ ਸੰਚਾਲਿਤ।","codex.legal.step.intro.title":"ਤੁਹਾਡੀ IDE ਵਿੱਚ Codex","codex.legal.step.todo.subtitle":"ਇੱਕ TODO ਟਿੱਪਣੀ ਲਿਖੋ ਅਤੇ ਇੱਕ ਇਕੱਲੇ ਕਲਿੱਕ ਨਾਲ ਇਸਨੂੰ Codex ਕਾਰਜ ਵਿੱਚ ਬਦਲੋ।","codex.legal.step.todo.title":"TODOs ਨੂੰ Codex ਕਾਰਜਾਂ ਵਿੱਚ ਬਦਲੋ","codex.legal.todo.heading":"//TODO: ਲਾਗੂ ਸਕੀਮਾ","codex.localConversation.closeImagePreview":"ਤਸਵੀਰ ਪੂਰਵ-ਝਲਕ ਬੰਦ ਕਰੋ","codex.localConversation.userImageAttachment":"ਵਰਤੋਂਕਾਰ ਅਟੈਚਮੈਂਟ","codex.localTaskRow.archiveTask":"ਥ੍ਰੈਡ ਪੁਰਾਲੇਖਬੱਧ ਕਰੋ","codex.localTaskRow.awaitingApproval":"ਮਨਜ਼ੂਰੀ ਦੀ ਉਡੀਕ ਵਿੱਚ","codex.localTaskRow.awaitingResponse":"ਜਵਾਬ ਦੀ ਉਡੀਕ ਵਿੱਚ","codex.localTaskRow.confirmArchiveTask":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.loggedOut.apiKeyPrompt.cancel":"ਰੱਦ ਕਰੋ","codex.loggedOut.apiKeyPrompt.confirm":"ਠੀਕ ਹੈ","codex.loggedOut.apiKeyPrompt.getKey":"API ਕੁੰਜੀ ਪ੍ਰਾਪਤ ਕਰੋ","codex.loggedOut.apiKeyPrompt.inputLabel":"ਆਪਣੀ OpenAI API ਕੁੰਜੀ ਦਰਜ ਕਰੋ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API ਕੁੰਜੀ ਨਾਲ ਕਲਾਊਡ ਕਾਰਜ ਬੰਦ ਕੀਤੇ ਗਏ","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"ਕੋਪਾਇਲਟ ਅਤੇ API ਕੁੰਜੀ ਨਾਲ ਕਲਾਊਡ ਕਾਰਜ ਬੰਦ ਕੀਤੇ ਗਏ","codex.loggedOut.signIn":"ChatGPT ਨਾਲ ਸਾਈਨ ਇਨ ਕਰੋ","codex.loggedOut.signIn.cancel":"ਸਾਈਨ-ਇਨ ਰੱਦ ਕਰੋ","codex.loggedOut.signInWithCopilot":"GitHub ਕੋਪਾਇਲਟ ਨਾਲ ਸਾਈਨ ਇਨ ਕਰੋ","codex.loggedOut.title":"ਕੋਡੈਕਸ","codex.loggedOut.useApiKey":"API ਕੁੰਜੀ ਦੀ ਵਰਤੋਂ ਕਰੋ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ਟੂਲ","codex.mcpTool.collapsedLabel.verb.called":"ਕਾਲ ਕੀਤੀ ਗਈ","codex.mcpTool.collapsedLabel.verb.calling":"ਕਾਲ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ","codex.mcpTool.embeddedResource.contentLabel":"ਕੰਟੈਂਟ","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME ਕਿਸਮ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ਟੂਲ ਨੇ ਕੋਈ ਕੰਟੈਂਟ ਵਾਪਸ ਨਹੀਂ ਕੀਤਾ","codex.mcpTool.rawPayloadHeading":"ਰਾਅ {server}.{tool} ਟੂਲ ਕਾੱਲ ਪੇਅਲੋਡ","codex.menu.recent":"ਹਾਲੀਆ","codex.menu.seeAllHistory":"ਸਾਰੀ ਹਿਸਟਰੀ ਦੇਖੋ","codex.modelCapacityBanner.headline.noReset":"{modelName} ਇਸ ਵੇਲੇ ਪੂਰੀ ਸਮਰੱਥਾ 'ਤੇ ਹੈ। ਬਾਅਦ ਵਿੱਚ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ ਜਾਂ ਕਿਸੇ ਹੋਰ ਮਾਡਲ ਨਾਲ ਨਵੀਂ ਗੱਲਬਾਤ ਸ਼ੁਰੂ ਕਰੋ।","codex.modelCapacityBanner.headline.withReset":"{modelName} ਇਸ ਵੇਲੇ ਪੂਰੀ ਸਮਰੱਥਾ 'ਤੇ ਹੈ। {resetDate} ਬਾਅਦ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ ਜਾਂ ਕਿਸੇ ਹੋਰ ਮਾਡਲ ਨਾਲ ਨਵੀਂ ਗੱਲਬਾਤ ਸ਼ੁਰੂ ਕਰੋ।","codex.modelCapacityBanner.title":"ਚੁਣਿਆ ਗਿਆ ਮਾਡਲ ਸਮਰੱਥਾ ’ਤੇ ਹੈ","codex.patch.change.contentsDeleted":"ਕੰਟੈਂਟ ਡਿਲੀਟ ਕੀਤਾ ਗਿਆ","codex.patch.change.created":"ਬਣਾਇਆ ਗਿਆ","codex.patch.change.created-file":"ਫਾਈਲ ਬਣਾਈ ਗਈ","codex.patch.change.creating":"ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ","codex.patch.change.deleted":"ਮਿਟਾਇਆ ਗਿਆ","codex.patch.change.deleted-file":"ਮਿਟਾਈ ਗਈ ਫਾਈਲ","codex.patch.change.deleting":"ਮਿਟਾਇਆ ਜਾ ਰਿਹਾ ਹੈ","codex.patch.change.edited":"ਸੋਧ ਕੀਤੀ ਗਈ","codex.patch.change.edited-file":"ਐਡਿਟ ਕੀਤੀ ਫਾਈਲ","codex.patch.change.editing":"ਸੋਧਿਆ ਜਾ ਰਿਹਾ ਹੈ","codex.patch.change.noChanges":"ਕੋਈ ਬਦਲਾਅ ਨਹੀਂ","codex.patch.change.rejected-add":"ਅਸਵੀਕਾਰ","codex.patch.change.rejected-delete":"ਅਸਵੀਕਾਰ","codex.patch.change.rejected-edit":"ਅਸਵੀਕਾਰ","codex.plan.stepIndexPrefix":"{index}।","codex.plan.tasksCompletedSummary":"{total} ਵਿੱਚੋਂ {completed} ਕਾਰਜ ਪੂਰੇ ਕੀਤੇ ਗਏ","codex.plan.todoListCreated":"{total} ਕਾਰਜਾਂ ਨਾਲ ਟੂ ਡੂ ਸੂਚੀ ਬਣਾਈ ਗਈ","codex.profileDropdown.apiKeyAuth":"API ਕੁੰਜੀ ਨਾਲ ਲਾਗ ਇਨ ਕੀਤਾ","codex.profileDropdown.codexSettings":"ਕੋਡੈਕਸ ਸੈਟਿੰਗਾਂ","codex.profileDropdown.copilotAuth":"ਕੋਪਾਇਲਟ ਨਾਲ ਲਾਗ ਇਨ ਕੀਤਾ","codex.profileDropdown.defaultAccountTitle":"ਡੀਫਾਲਟ ਖਾਤਾ","codex.profileDropdown.enterBehavior":"{modifierSymbol} + ਲੰਬੇ ਪ੍ਰੋਂਪਟ ਭੇਜਣ ਲਈ ਐਂਟਰ ਦੱਬੋ","codex.profileDropdown.enterBehaviorError":"ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","codex.profileDropdown.getPlus":"ਉੱਚੀਆਂ ਸੀਮਾਵਾਂ ਲਈ ਅੱਪਗ੍ਰੇਡ ਕਰੋ","codex.profileDropdown.keyboardShortcuts":"ਕੀਬੋਰਡ ਸ਼ਾਰਟਕੱਟ","codex.profileDropdown.language":"ਭਾਸ਼ਾ","codex.profileDropdown.languageDefault":"ਸਵੈ-ਖੋਜ","codex.profileDropdown.languageSearchPlaceholder":"ਭਾਸ਼ਾਵਾਂ ਖੋਜੋ","codex.profileDropdown.languageUpdateError":"ਭਾਸ਼ਾ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","codex.profileDropdown.logOut":"ਲਾਗ ਆਊਟ","codex.profileDropdown.mcp":"MCP ਸੈਟਿੰਗਾਂ","codex.profileDropdown.openConfigToml":"config.toml ਖੋਲ੍ਹੋ","codex.profileDropdown.openConfigToml.wsl":"WSL ਵਾਤਾਵਰਣ ਵਿੱਚ config.toml ਖੋਲ੍ਹੋ","codex.profileDropdown.openExtensionSettings":"ਸੈਟਿੰਗਾਂ ਖੋਲ੍ਹੋ","codex.profileDropdown.openMcpSettings":"MCP ਸੈਟਿੰਗਾਂ ਖੋਲ੍ਹੋ","codex.profileDropdown.openOnStartup":"ਸਟਾਰਟਅੱਪ ’ਤੇ ਖੋਲ੍ਹੋ","codex.profileDropdown.openOnStartupError":"ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","codex.profileDropdown.openSkillsSettings":"ਹੁਨਰ ਸੈਟਿੰਗ ਨੂੰ ਖੋਲ੍ਹੋ","codex.profileDropdown.personalAccountTitle":"ਨਿੱਜੀ ਖਾਤਾ","codex.profileDropdown.queueFollowUps":"ਫੌਲੋ-ਅੱਪ ਕਿਊ","codex.profileDropdown.queueFollowUpsError":"ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","codex.profileDropdown.readDocs":"ਦਸਤਾਵੇਜ਼ ਪੜ੍ਹੋ","codex.profileDropdown.readSkillsDocs":"ਦਸਤਾਵੇਜ਼ ਪੜ੍ਹੋ","codex.profileDropdown.runInWsl":"WSL ਵਿੱਚ ਰਨ ਕਰੋ","codex.profileDropdown.runInWslError":"ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","codex.profileDropdown.runInWslTooltip":"WSL ਵਿੱਚ Codex ਚਲਾਉਂਦਾ ਹੈ। ਬਿਹਤਰ ਸੈਂਡਬੌਕਸ ਸੁਰੱਖਿਆ ਅਤੇ ਬਿਹਤਰ ਪ੍ਰਦਰਸ਼ਨ ਲਈ ਸਿਫ਼ਾਰਸ਼ ਕੀਤੀ ਜਾਂਦੀ ਹੈ।","codex.profileDropdown.settings":"IDE ਸੈਟਿੰਗਾਂ","codex.profileDropdown.settingsPage":"ਸੈਟਿੰਗਾਂ","codex.profileDropdown.signInWithOpenAI":"ChatGPT ਨਾਲ ਸਾਈਨ ਇਨ ਕਰੋ","codex.profileDropdown.skills":"ਹੁਨਰ ਸੈਟਿੰਗ","codex.profileDropdown.switchToCopilotAccount":"ਕੋਪਾਇਲਟ ਖਾਤੇ ਦੀ ਵਰਤੋਂ ਕਰੋ","codex.profileDropdown.switchToOpenAIAccount":"OpenAI ਖਾਤੇ ਦੀ ਵਰਤੋਂ ਕਰੋ","codex.profileDropdown.todoCodelens":"TODO ਟਿੱਪਣੀ ਹੱਲ ਕਰੋ","codex.profileDropdown.todoCodelensError":"ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","codex.profileDropdown.windowsDocumentation":"Windows ਦਸਤਾਵੇਜ਼","codex.profileFooter.signedInFallback":"ਸੈਟਿੰਗਾਂ","codex.profileFooter.upgrade":"ਅੱਪਗ੍ਰੇਡ ਕਰੋ","codex.recentTasksMenu.clearSearch":"ਖੋਜ ਕਲੀਅਰ ਕਰੋ","codex.recentTasksMenu.cloud":"ਕਲਾਊਡ ਕਾਰਜ","codex.recentTasksMenu.count":"{count, plural, =0 {ਕੋਈ ਵੀ ਕਾਰਜ ਪ੍ਰਗਤੀ ਵਿੱਚ ਨਹੀਂ ਹੈ} one {# ਕਾਰਜ ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ} other {# ਕਾਰਜ ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ}}","codex.recentTasksMenu.empty":"ਅਜੇ ਕੋਈ ਥ੍ਰੈਡ ਨਹੀਂ","codex.recentTasksMenu.errorCloud":"ਕਾਰਜਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਲਈ ਅਸਫਲ।","codex.recentTasksMenu.errorCloud.inline":"ਕਲਾਊਡ ਕਾਰਜਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","codex.recentTasksMenu.filterAll":"ਸਾਰੇ","codex.recentTasksMenu.filterCloudTasks":"ਕਲਾਊਡ ਕਾਰਜ ਫਿਲਟਰ ਕਰੋ","codex.recentTasksMenu.filterTooltip":"ਵਾਤਾਵਰਣ ਰਾਹੀਂ ਕਾਰਜਾਂ ਨੂੰ ਫਿਲਟਰ ਕਰੋ","codex.recentTasksMenu.local":"ਲੋਕਲ ਕਾਰਜ","codex.recentTasksMenu.recent":"ਸਾਰੇ ਕਾਰਜ","codex.recentTasksMenu.search":"ਹਾਲੀਆ ਕਾਰਜਾਂ ਦੀ ਖੋਜ ਕਰੋ","codex.recentTasksMenu.searchEmpty":"ਕੋਈ ਨਤੀਜੇ ਨਹੀਂ","codex.recentTasksMenu.tooltip":"ਕਾਰਜ ਹਿਸਟਰੀ","codex.recentTasksMenu.trigger":"ਹਾਲੀਆ ਕਾਰਜ। {count, plural, one {# ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ} other {# ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ}}","codex.remoteConversation.applyDiff.applyCta":"ਬਦਲਾਵ ਲਾਗੂ ਕਰੋ","codex.remoteConversation.applyDiff.dropdownTitle":"ਕਿਸੀ ਸਥਾਨਕ ਸ਼ਾਖਾ ‘ਤੇ ਬਦਲਾਵ ਲਾਗੂ ਕਰੋ","codex.remoteConversation.applyDiff.revertCta":"ਬਦਲਾਵ ਪਹਿਲਾਂ ਵਰਗੇ ਕਰੋ","codex.remoteConversation.closeImagePreview":"ਤਸਵੀਰ ਪੂਰਵ-ਝਲਕ ਬੰਦ ਕਰੋ","codex.remoteConversation.codexCloudTask":"ਤੁਸੀਂ ਇੱਕ <u>Codex ਕਲਾਊਡ</u> ਕਾਰਜ ਦੇਖ ਰਹੇ ਹੋ","codex.remoteConversation.errorWithMessage":"ਤਰੁੱਟੀ: {message}","codex.remoteConversation.loadingImage":"ਤਸਵੀਰ ਲੋਡ ਹੋ ਰਹੀ ਹੈ","codex.remoteConversation.openInWeb":"ਵੈੱਬ ਵਿੱਚ ਖੋਲ੍ਹੋ","codex.remoteConversation.streaming":"ਸ਼ੁਰੂ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","codex.remoteConversation.turnFailed":"ਇਸ ਕਾਰਜ ਵੇਲੇ ਇੱਕ ਤਰੁੱਟੀ ਆਈ","codex.remoteConversation.turnTab.loading":"{number} ਕੋਸ਼ਿਸ਼","codex.remoteConversation.turnTab.title":"{number} ਕੋਸ਼ਿਸ਼","codex.remoteConversation.userImageAttachment":"ਵਰਤੋਂਕਾਰ ਅਟੈਚਮੈਂਟ","codex.remoteConversation.viewPreviousTurns":"ਵੈੱਬ ਵਿੱਚ ਖੋਲ੍ਹੋ","codex.remoteConversation.viewPreviousTurns.buttonText":"ਖੋਲ੍ਹੋ","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ਵੈੱਬ ਵਿੱਚ ਖੋਲ੍ਹੋ","codex.review.copyGitApplyCommand":"git ਕਮਾਂਡ ਅਪਲਾਈ ਕਾਪੀ ਕਰੋ","codex.review.copyGitApplyCommand.toast":"ਕਲਿੱਪਬੋਰਡ ’ਤੇ git ਅਪਲਾਈ ਕਮਾਂਡ ਨੂੰ ਕਾਪੀ ਕੀਤਾ","codex.review.diffTooLarge.description":"ਇਹ ਡਿਫ ਸਮੀਖਿਆ ਵਿੱਚ ਡਿਸਪਲੇਅ ਲਈ ਬਹੁਤ ਵੱਡਾ ਹੈ।","codex.review.diffTooLarge.title":"ਡਿਫ ਦਿਖਾਉਣ ਲਈ ਬਹੁਤ ਵੱਡਾ ਹੈ","codex.review.expandOrCollapseDiffButton.collapse":"ਸਾਰੇ ਡਿਫਸ ਨੂੰ ਬੰਦ ਕਰੋ","codex.review.expandOrCollapseDiffButton.expand":"ਸਾਰੇ ਡਿਫਸ ਨੂੰ ਵਧਾਓ","codex.review.expandOrCollapseDiffMenu.collapse":"ਸਾਰੇ ਡਿਫਸ ਨੂੰ ਬੰਦ ਕਰੋ","codex.review.expandOrCollapseDiffMenu.expand":"ਸਾਰੇ ਡਿਫਸ ਨੂੰ ਵਧਾਓ","codex.review.fileSearch.clear":"ਫਾਈਲ ਫਿਲਟਰ ਸਾਫ ਕਰੋ","codex.review.fileSearch.empty":"ਮੌਜੂਦਾ ਫਿਲਟਰ ਨਾਲ ਕਿਸੇ ਤਰ੍ਹਾਂ ਦੀਆਂ ਫਾਈਲ ਮੇਲ ਨਹੀਂ ਖਾਂਦੀਆਂ।","codex.review.fileSearch.label":"ਫਾਈਲਾਂ ਫਿਲਟਰ ਕਰੋ","codex.review.fileSearch.placeholder":"ਫਾਈਲਾਂ ਫਿਲਟਰ ਕਰੋ...","codex.review.filesChanged":"{num, plural, =0 {ਕੋਈ ਫਾਈਲਾਂ ਨਹੀਂ ਬਦਲੀਆਂ ਗਈਆਂ} one {# ਫਾਈਲ ਬਦਲੀ ਗਈ} other {# ਫਾਈਲਾਂ ਬਦਲੀਆਂ ਗਈਆਂ}}","codex.review.find.loadMore":"ਹੋਰ ਮੇਲ ਲੋਡ ਕਰੋ","codex.review.fullReview.hideFileTree":"ਫਾਈਲ ਟਰੀ ਛੁਪਾਓ","codex.review.fullReview.showFileTree":"ਫਾਈਲ ਟਰੀ ਦਿਖਾਓ","codex.review.header.moreOptions":"ਸਮੀਖਿਆ ਵਿਕਲਪ","codex.review.largeDiff.banner":"ਵਡੇਰੇ ਡਿਫ਼ ਪਛਾਣ ਹੇਠ ਆਏ — ਇਕ ਸਮੇਂ ਤੇ ਇਕ ਹੀ ਫਾਈਲ ਦਿਖਾਈ ਜਾ ਰਹੀ ਹੈ।","codex.review.loadFullFiles.disable":"ਸੰਪੂਰਨ ਫਾਈਲਾਂ ਲੋਡ ਕਰਨ ਨੂੰ ਰਹਿਣ ਦਿਉ","codex.review.loadFullFiles.enable":"ਸੰਪੂਰਨ ਫਾਈਲਾਂ ਲੋਡ ਕਰੋ","codex.review.noDiff":"ਫਾਈਲ ਬਦਲਾਅ ਇੱਥੇ ਦਿਖਾਈ ਦੇਣਗੇ","codex.review.noDiff.gitInit.createRepository":"ਗਿਟ ਰੀਪੌਜ਼ੀਟਰੀ ਬਣਾਉ","codex.review.noDiff.gitInit.creating":"ਬਣਾ ਰਿਹਾ ਹੈ...","codex.review.noDiff.gitInit.error":"Git ਇਨਇੱਟ ਅਸਫਲ: {message}","codex.review.noDiff.gitInit.success":"Git ਰੀਪੌਜ਼ੀਟਰੀ ਬਣਾਈ ਗਈ","codex.review.noDiff.gitRepoRequired.description":"ਇਸ ਪ੍ਰੋਜੈਕਟ ਵਿੱਚ ਬਦਲਾਅ ਟਰੈਕ ਕਰਕੇ ਅਣਕੀਤਾ ਕਰੋ","codex.review.noDiff.gitRepoRequired.title":"Git ਰੀਪੌਜ਼ੀਟਰੀ ਬਣਾਉ","codex.review.noDiff.orNoLongerAvailable":"ਜਾਂ ਨਵੀਨਤਮ ਡਿਫ ਹੁਣ ਉਪਲਬਧ ਨਹੀਂ ਹਨ","codex.review.noDiff.reverted":"ਆਖਰੀ ਟਰਨ ਵਾਪਸ ਕਰ ਦਿੱਤੀ ਗਈ ਹੈ","codex.review.noDiff.revertedOrCommitted":"ਆਖਰੀ ਟਰਨ ਜਾਂ ਤਾਂ ਵਾਪਸ ਕਰ ਦਿੱਤੀ ਗਈ ਹੈ ਜਾਂ ਕਮਿੱਟ ਕਰ ਦਿੱਤੀ ਗਈ ਹੈ","codex.review.refreshGitQueries":"ਰੀਫਰੈਸ਼","codex.review.revert.file.error":"{path} ਵਾਪਸ ਭੇਜਣ ਵਿੱਚ ਅਸਫਲ","codex.review.revert.file.partialSuccess":"{path} ਅੰਸ਼ਕ ਤੌਰ ’ਤੇ ਵਾਪਸ ਭੇਜਿਆ","codex.review.revert.file.success":"{path} ਵਾਪਸ ਭੇਜਿਆ","codex.review.revert.hunk.error":"ਹੰਕ {hunkNumber} ਨੂੰ {path} ਵਿੱਚ ਵਾਪਸ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","codex.review.revert.hunk.partialSuccess":"ਹੰਕ {hunkNumber} ਨੂੰ {path} ਵਿੱਚ ਅੰਸ਼ਕ ਤੌਰ ’ਤੇ ਵਾਪਸ ਭੇਜਿਆ","codex.review.revert.hunk.success":"ਹੰਕ {hunkNumber} ਨੂੰ {path} ਵਿੱਚ ਵਾਪਸ ਕੀਤਾ","codex.review.revert.section.error":"ਸੈਕਸ਼ਨ ਨੂੰ ਵਾਪਸ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","codex.review.revert.section.partialSuccess":"ਸੈਕਸ਼ਨ ਅੰਸ਼ਕ ਤੌਰ ’ਤੇ ਵਾਪਸ ਕੀਤਾ","codex.review.revert.section.success":"ਸੈਕਸ਼ਨ ਵਾਪਸ ਕੀਤਾ","codex.review.revertDialog.cancel":"ਰੱਦ ਕਰੋ","codex.review.revertDialog.confirm":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.review.revertDialog.message":"ਇਹ ਕਾਰਵਾਈ ਇਨ੍ਹਾਂ ਸਾਰੇ ਬਦਲਾਵਾਂ ਨੂੰ ਹਟਾ ਦੇਵੇਗੀ।","codex.review.revertDialog.skip":"ਦੁਬਾਰਾ ਨਾ ਪੁੱਛੋ","codex.review.revertDialog.title":"ਕੀ ਬਦਲਾਵ ਪਹਿਲਾਂ ਵਰਗੇ ਕਰਨੇ ਹਨ?","codex.review.richPreview.disable":"ਰਿਚ ਪੂਰਵ-ਝਲਕ ਬੰਦ ਕਰੋ","codex.review.richPreview.enable":"ਰਿਚ ਪੂਰਵ-ਝਲਕ ਚਾਲੂ ਕਰੋ","codex.review.source.cloud":"ਕਲਾਊਡ ਬਦਲਾਅ","codex.review.source.local.all":"ਸਾਰੇ ਸ਼ਾਖਾ ਬਦਲਾਅ","codex.review.source.local.lastTurn":"ਆਖਰੀ ਟਰਨ ਬਦਲਾਅ","codex.review.source.local.uncommitted":"ਅਣ-ਕਮਿੱਟ ਕੀਤੇ ਬਦਲਾਵ","codex.review.source.worktree":"ਗੈਰ-ਕਮਿੱਟ ਹੋਏ ਵਰਕਟਰੀ ਬਦਲਾਅ","codex.review.stageFilter.empty.staged.description":"ਸਟੇਜ ਕਰਨ ਲਈ ਐਡਿਟ ਸਵੀਕਾਰ ਕਰੋ","codex.review.stageFilter.empty.staged.title":"ਕੋਈ ਸਟੇਜ ਕੀਤੇ ਬਦਲਾਅ ਨਹੀਂ","codex.review.stageFilter.empty.unstaged.description":"ਕੋਡ ਬਦਲਾਅ ਇੱਥੇ ਦਿਖਾਈ ਦੇਣਗੇ","codex.review.stageFilter.empty.unstaged.title":"ਕੋਈ ਸਟੇਜ ਨਾ ਕੀਤੇ ਬਦਲਾਅ ਨਹੀਂ","codex.review.stageFilter.staged":"ਸਟੇਜ ਕੀਤਾ ਗਿਆ","codex.review.stageFilter.staged.count":"ਸਟੇਜ ਕੀਤਾ ਗਿਆ · {count}","codex.review.stageFilter.unstaged":"ਸਟੇਜ ਨਹੀਂ ਕੀਤਾ ਗਿਆ","codex.review.stageFilter.unstaged.count":"ਸਟੇਜ ਨਹੀਂ ਕੀਤਾ · {count}","codex.review.switchToSplit":"ਡਿਫ ਸਪਲਿਟ ਕਰਨ ਲਈ ਸਵਿੱਚ ਕਰੋ","codex.review.switchToUnified":"ਯੂਨੀਫਾਈਡ ਡਿਫ ਵਿੱਚ ਸਵਿੱਚ ਕਰੋ","codex.review.toggleDiffView":"ਡਿੱਫ ਝਲਕ ਬਦਲੋ","codex.review.wordDiffs.disable":"ਵਰਡ ਡਿਫਸ ਬੰਦ ਕਰੋ","codex.review.wordDiffs.enable":"ਵਰਡ ਡਿਫਸ ਚਾਲੂ ਕਰੋ","codex.review.wrap.disable":"ਵਰਡ ਰੈਪ ਬੰਦ ਕਰੋ","codex.review.wrap.enable":"ਵਰਡ ਰੈਪ ਚਾਲੂ ਕਰੋ","codex.section.patch.missing":"ਇਸ ਸੈਕਸ਼ਨ ਦਾ ਪੈਚ ਤਿਆਰ ਨਹੀਂ ਹੋ ਸਕਿਆ।","codex.shell.collapse":"ਸ਼ੈੱਲ ਬੰਦ ਕਰੋ","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"ਸੈੱਲ ਕੰਟੈਂਟ ਕਾਪੀ ਕੀਤੇ","codex.shell.copy.copyTooltip":"ਸ਼ੈੱਲ ਕੰਟੈਂਟ ਕਾਪੀ ਕੀਤੇ","codex.shell.copyCommand":"ਕਮਾਂਡ ਕਾਪੀ ਕਰੋ","codex.shell.copyOutput":"ਆਉਟਪੁੱਟ ਕਾਪੀ ਕਰੋ","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"ਬੈਸ਼","codex.shell.expand":"ਸ਼ੈੱਲ ਵਧਾਓ","codex.shell.name":"ਸ਼ੈੱਲ","codex.shell.noOutput":"ਕੋਈ ਆਉਟਪੁੱਟ ਨਹੀਂ","codex.signInFailed.message":"ਸਾਈਨ-ਇਨ ਅਸਫਲ: {rawMessage}","codex.stories.toast.show":"ਟੋਸਟ ਦਿਖਾਉ","codex.stories.tooltip.basic":"ਇਹ ਇੱਕ ਟੂਲਟਿਪ ਹੈ","codex.stories.tooltip.hoverMe":"ਮੈਨੂੰ ਹੌਵਰ ਕਰੋ","codex.stories.tooltip.largerOffset":"ਇਸ ਟੂਲਟਿਪ ਕੋਲ ਇੱਕ ਵੱਡਾ ਆਫਸੈੱਟ ਹੈ","codex.stories.tooltip.offsetButton":"ਵੱਡਾ ਆਫਸੈੱਟ","codex.stories.tooltip.shortcutButton":"ਸ਼ਾਰਟਕੱਟ ਨਾਲ","codex.stories.tooltip.withShortcut":"ਟਰਮੀਨਲ ਟੋਗਲ ਕਰੋ","codex.taskRow.title":"ਨਵਾਂ ਥ੍ਰੈੱਡ","codex.taskRowLayout.confirm":"ਪੁਸ਼ਟੀ ਕਰੋ","codex.threadFindBar.chatFilter":"ਚੈਟ ਖੋਜੋ","codex.threadFindBar.close":"ਲੱਭੋ ਨੂੰ ਬੰਦ ਕਰੋ","codex.threadFindBar.diffFilter":"ਡਿਫ਼ਜ਼ ਖੋਜੋ","codex.threadFindBar.label":"ਥ੍ਰੈਡ ਵਿੱਚ ਲੱਭੋ","codex.threadFindBar.nextResult":"ਅਗਲਾ ਨਤੀਜਾ","codex.threadFindBar.noResults":"0 ਨਤੀਜੇ","codex.threadFindBar.placeholder":"ਥ੍ਰੈਡ ਖੋਜੋ...","codex.threadFindBar.placeholder.extension":"ਥ੍ਰੈਡ ਖੋਜੋ...","codex.threadFindBar.placeholder.review":"ਡਿਫ਼ਜ਼ ਖੋਜੋ...","codex.threadFindBar.placeholder.review.extension":"ਡਿਫ਼ਜ਼ ਖੋਜੋ...","codex.threadFindBar.previousResult":"ਪਿਛਲਾ ਨਤੀਜਾ","codex.todoPlan.stepIndexPrefix":"{index}।","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# ਫਾਈਲ ਬਦਲੀ ਗਈ} other {# ਫਾਈਲਾਂ ਬਦਲੀਆਂ ਗਈਆਂ}}","codex.unifiedDiff.inlineLargeFile":"ਇਨਲਾਈਨ ਰੈਂਡਰ ਕਰਨ ਲਈ ਬਹੁਤ ਵੱਡਾ ਹੈ","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"ਅਣਕੀਤਾ ਕਰੋ","codex.unifiedDiff.revertPatchError":"ਬਦਲਾਵਾਂ ਨੂੰ ਵਾਪਸ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","codex.unifiedDiff.revertPatchSuccess":"ਬਦਲਾਅ ਵਾਪਸ ਕੀਤੇ ਗਏ","codex.unifiedDiff.reviewChangesSuffix":"ਬਦਲਾਅ","codex.unifiedDiff.reviewShort":"ਸਮੀਖਿਆ","codex.unifiedDiff.viewDiffTooltip":"ਸਮੀਖਿਆ","codex.upsellBanner.business.headline":"ਹੁਣੇ ਵਧੇਰੇ ਪਹੁੰਚ ਪ੍ਰਾਪਤ ਕਰਨ ਲਈ, ਆਪਣੇ ਪ੍ਰਬੰਧਕ ਨੂੰ ਇੱਕ ਬੇਨਤੀ ਭੇਜੋ ਜਾਂ {resetDate} ਤੱਕ ਉਡੀਕ ਕਰੋ।","codex.upsellBanner.cbp.headline":"ਹੁਣੇ ਵਧੇਰੇ ਪਹੁੰਚ ਪ੍ਰਾਪਤ ਕਰਨ ਲਈ, ਆਪਣੇ ਪ੍ਰਬੰਧਕ ਨੂੰ ਇੱਕ ਬੇਨਤੀ ਭੇਜੋ।","codex.upsellBanner.cta.addCredits":"ਕ੍ਰੈਡਿਟ ਸ਼ਾਮਲ ਕਰੋ","codex.upsellBanner.cta.upgradeAccount":"ਅੱਪਗ੍ਰੇਡ ਕਰੋ","codex.upsellBanner.cta.viewUsage":"ਵਰਤੋਂ ਦੇਖੋ","codex.upsellBanner.free.trialHeadline":"ਤੁਹਾਡੀ ਸੀਮਾ {resetDate} ‘ਤੇ ਰੀਸੈੱਟ ਹੋਵੇਗੀ। Codex ਵਰਤਣਾ ਜਾਰੀ ਰੱਖਣ ਲਈ ਅਤੇ GPT-5.3-Codex ਤੱਕ ਪਹੁੰਚ ਪ੍ਰਾਪਤ ਕਰਨ ਲਈ, ਅੱਜ ਹੀ ਆਪਣਾ ਪਲਸ ਦਾ ਮੁਫਤ ਟ੍ਰਾਇਲ ਸ਼ੁਰੂ ਕਰੋ। ।","codex.upsellBanner.freeOrGo.headline":"ਤੁਹਾਡੀ ਰੇਟ ਸੀਮਾ {resetDate} ਨੂੰ ਰੀਸੈੱਟ ਹੋਵੇਗੀ। Codex ਦੀ ਵਰਤੋਂ ਜਾਰੀ ਰੱਖਣ ਲਈ, ਅੱਜ ਹੀ Plus ’ਤੇ ਅੱਪਗ੍ਰੇਡ ਕਰੋ।","codex.upsellBanner.general.headline":"ਤੁਹਾਡੀ ਰੇਟ ਸੀਮਾ {resetDate} ਨੂੰ ਰੀਸੈੱਟ ਹੋਵੇਗੀ।","codex.upsellBanner.general.title":"ਤੁਹਾਡੇ ਕੋਡੈਕਸ ਸੁਨੇਹੇ ਖਤਮ ਹੋ ਗਏ ਹਨ","codex.upsellBanner.go.trialHeadline":"ਤੁਹਾਡੀ ਸੀਮਾ {resetDate} ‘ਤੇ ਰੀਸੈੱਟ ਹੋਵੇਗੀ। ਕੋਡੈਕਸ ਵਰਤਣਾ ਜਾਰੀ ਰੱਖਣ ਲਈ, ਅੱਜ ਹੀ ਆਪਣਾ ਪਲਸ ਦਾ ਮੁਫਤ ਟ੍ਰਾਇਲ ਸ਼ੁਰੂ ਕਰੋ। ।","codex.upsellBanner.plus.headline":"ਤੁਹਾਡੀ ਰੇਟ ਸੀਮਾ {resetDate} ਨੂੰ ਰੀਸੈੱਟ ਕੀਤੀ ਜਾਂਦੀ ਹੈ। Codex ਦੀ ਵਰਤੋਂ ਜਾਰੀ ਰੱਖਣ ਲਈ, ਅੱਜ ਹੀ ਕ੍ਰੈਡਿਟ ਸ਼ਾਮਲ ਕਰੋ ਜਾਂ ਪ੍ਰੋ ਵਿੱਚ ਅੱਪਗ੍ਰੇਡ ਕਰੋ।","codex.upsellBanner.pro.headline":"ਤੁਹਾਡੀ ਰੇਟ ਸੀਮਾ {resetDate} ਨੂੰ ਰੀਸੈੱਟ ਹੋਵੇਗੀ। ਹੁਣੇ ਹੀ Codex ਦੀ ਵਰਤੋਂ ਜਾਰੀ ਰੱਖਣ ਲਈ ਕ੍ਰੈਡਿਟ ਸ਼ਾਮਲ ਕਰੋ।","codex.userMessage.autoResolveSync":"ਟਕਰਾਵਾਂ ਨੂੰ ਸਵੈਚਲਿਤ ਤੌਰ 'ਤੇ ਹੱਲ ਕਰੋ","codex.userMessage.commentCount":"{count, plural, one {# ਟਿੱਪਣੀ} other {# ਟਿੱਪਣੀਆਂ}}","codex.userMessage.copiedAriaLabel":"ਕਾਪੀ ਕੀਤਾ ਗਿਆ","codex.userMessage.copiedTooltip":"ਕਾਪੀ ਕੀਤਾ ਗਿਆ","codex.userMessage.copyAriaLabel":"ਸੁਨੇਹਾ ਕਾਪੀ ਕਰੋ","codex.userMessage.copyTooltip":"ਕਾਪੀ ਕਰੋ","codex.userMessage.implementPlan":"ਪਲਾਨ ਲਾਗੂ ਕਰੋ","codex.userMessage.noContent":"(ਕੋਈ ਸਮੱਗਰੀ ਨਹੀਂ)","codex.userMessage.priorConversation":"ਪਿਛਲੀ ਗੱਲਬਾਤ ਦਾ ਹਵਾਲਾ ਲਓ","codex.userMessage.reviewMode":"ਸਮੀਖਿਆ ਮੋਡ","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} ਲਈ","codex.webSearch.summary.verb.completed":"ਵੈੱਬ ਖੋਜ ਕੀਤੀ","codex.webSearch.summary.verb.inProgress":"ਵੈੱਬ ਖੋਜ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ","codex.windowsInstallWslBanner.dismiss":"ਖਾਰਜ ਕਰੋ","codex.windowsInstallWslBanner.installWslCta":"sandbox ਚਾਲੂ ਕਰੋ","codex.windowsInstallWslBanner.learnMore":"ਵਧੇਰੇ ਜਾਣੋ","codex.windowsSandboxBanner.content":"ਏਜੰਟ ਮੋਡ ਫਾਈਲ ਸਿਸਟਮ ਅਤੇ ਨੈੱਟਵਰਕ ਪਹੁੰਚ ਨੂੰ ਸੀਮਤ ਕਰਨ ਲਈ Windows 'ਤੇ ਇੱਕ ਪ੍ਰਯੋਗਾਤਮਕ sandbox ਦੀ ਵਰਤੋਂ ਕਰਦਾ ਹੈ। {sandboxLink}","codex.windowsSandboxBanner.title":"ਏਜੰਟ ਮੋਡ ਲਈ sandbox ਚਾਲੂ ਕਰੋ","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows ਸੈਟਿੰਗਾਂ","codexUpgradeModal.body":"ਸਾਡਾ ਨਵੀਨਤਮ ਫਰੰਟੀਅਰ ਏਜੰਟਿਕ ਕੋਡਿੰਗ ਮਾਡਲ — ਆਮ ਤਕਨੀਕੀ ਕੰਮ ਵਿੱਚ ਵਧੇਰੇ ਸਮਝਦਾਰ, ਤੇਜ਼, ਅਤੇ ਵਧੇਰੇ ਸਮਰੱਥ। {link}","codexUpgradeModal.close":"ਬੰਦ ਕਰੋ","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"ਵਧੇਰੇ ਜਾਣੋ","codexUpgradeModal.title":"ਪੇਸ਼ ਹੈ GPT-5.3-Codex-Max","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex ਹੁਣੇ ਅਜਮਾਓ","codexUpgradeModal.useExistingModel":"ਮੌਜੂਦਾ ਮਾਡਲ ਨਾਲ ਜਾਰੀ ਰੱਖੋ","commentAttachments.numComments":"{count, plural, one {# ਟਿੱਪਣੀ} other {# ਟਿੱਪਣੀਆਂ}}","commentAttachments.removeAriaLabel":"ਟਿੱਪਣੀ ਅਟੈਚਮੈਂਟਾਂ ਹਟਾਓ","common.close":"ਬੰਦ ਕਰੋ","composer.addContext.openFilePickerError":"ਫਾਈਲ ਚੋਣਕਾਰ ਨੂੰ ਖੋਲ੍ਹਣ ਵਿੱਚ ਅਸਮਰੱਥ","composer.addContextDropdown.ariaLabel":"ਫਾਈਲਾਂ ਅਤੇ ਹੋਰ ਬਹੁਤ ਕੁਝ ਸ਼ਾਮਲ ਕਰੋ","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ਫਾਈਲਾਂ ਅਤੇ ਹੋਰ ਬਹੁਤ ਕੁਝ ਸ਼ਾਮਲ ਕਰੋ","composer.addPhotosAndFiles":"ਫੋਟੋਆਂ ਅਤੇ ਫਾਈਲਾਂ ਜੋੜੋ","composer.atMentionList.emptyQuery":"ਫਾਈਲਾਂ ਲਈ ਖੋਜ ਕਰਨ ਵਾਸਤੇ ਟਾਈਪ ਕਰੋ","composer.atMentionList.loading":"ਖੋਜ ਰਿਹਾ ਹੈ...","composer.atMentionList.noResults":"ਕੋਈ ਨਤੀਜੇ ਨਹੀਂ","composer.attemptsSelector.option":"{count, plural, one {# ਸੰਸਕਰਣ} other {# ਸੰਸਕਰਣ}}","composer.attemptsSelector.tooltip":"Codex ਵੱਲੋਂ ਕੀਤੇ ਜਾਣ ਲਈ ਸਮਾਂਤਰ ਕੋਸ਼ਿਸ਼ਾਂ ਦੀ ਗਿਣਤੀ","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"ਰੁਕੋ","composer.cloudFollowUp.cloud":"ਕਲਾਊਡ","composer.cloudFollowUp.local":"ਲੋਕਲ","composer.cloudFollowUp.whereRun":"ਇਸ ਫਾਲੋ-ਅੱਪ ਨੂੰ ਕਿੱਥੇ ਰਨ ਕਰਨਾ ਚਾਹੀਦਾ ਹੈ?","composer.cloudTaskCreationError":"ਕਲਾਊਡ ਕਾਰਜ ਬਣਾਉਣ ਵੇਲੇ ਤਰੁੱਟੀ","composer.cloudTaskError":"ਕਾਰਜ ਬਣਾਉਣ ਵਿੱਚ ਤਰੁੱਟੀ","composer.contextWindow.autoCompactionTooltipLine1":"ਕੋਡੈਕਸ ਆਟੋਮੈਟਿਕਲੀ ਹੀ ਆਪਣੇ ਸੰਦਰਭ ਨੂੰ ਸੁੰਘੇੜਦਾ ਹੈ।","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"ਸੰਦਰਭ ਵਿੰਡੋ:","composer.contextWindowUsageStatusFull":"{usage}% ਪੂਰਾ","composer.contextWindowUsageStatusLeft":"{usage}% ਵਰਤਿਆ ਗਿਆ ({remaining}% ਬਾਕੀ)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k ਟੋਕਨ ਵਰਤੇ ਗਏ","composer.customCliTooltip":"ਕਸਟਮ CLI ਐਗ਼ਜ਼ੀਕਿਊਟੇਬਲ ਦੀ ਵਰਤੋਂ ਕਰਦਿਆਂ","composer.dictation.aria":"ਡਿਕਟੇਟ ਕਰੋ","composer.dictation.cancel.aria":"ਲਿਖਵਾਉਣਾ ਬੰਦ ਕਰੋ","composer.dictation.cancel.tooltip":"ਲਿਖਵਾਉਣਾ ਬੰਦ ਕਰੋ","composer.dictation.startError":"ਡਿਕਟੇਸ਼ਨ ਸ਼ੁਰੂ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","composer.dictation.submit.aria":"ਟ੍ਰਾਂਸਕ੍ਰਾਈਬ ਕਰੋ ਅਤੇ ਭੇਜੋ","composer.dictation.submit.tooltip":"ਟ੍ਰਾਂਸਕ੍ਰਾਈਬ ਕਰੋ ਅਤੇ ਭੇਜੋ","composer.dictation.tooltip":"ਡਿਕਟੇਟ ਕਰਨ ਲਈ ਹੋਲਡ ਕਰੋ","composer.dictation.transcribeError":"ਆਡੀਓ ਟ੍ਰਾਂਸਕ੍ਰਾਈਬ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","composer.dictation.unsupported":"ਇਸ ਡਿਵਾਈਸ ’ਤੇ ਡਿਕਟੇਸ਼ਨ ਉਪਲਬਧ ਨਹੀਂ ਹੈ","composer.dropOverlay.holdShift":"ਡ੍ਰਾਪ ਕਰਨ ਲਈ {key} ਦੱਬ ਕੇ ਰੱਖੋ","composer.dropOverlay.shiftKey":"ਸ਼ਿਫਟ","composer.environmentSelector.createNew":"ਨਵਾਂ ਬਣਾਉ","composer.environmentSelector.error":"ਵਾਤਾਵਰਣਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਤਰੁੱਟੀ","composer.environmentSelector.goBack":"ਕੰਪੋਜ਼ਰ ਵੱਲ ਵਾਪਸ","composer.environmentSelector.title":"ਵਾਤਾਵਰਣ ਚੁਣੋ","composer.environmentSelector.tooltip":"ਇੱਕ ਕਲਾਊਡ ਵਾਤਾਵਰਣ ਚੁਣੋ","composer.feedbackSlashCommand.title":"ਫੀਡਬੈਕ","composer.filePicker.selectFile":"ਇੱਕ ਫਾਈਲ ਚੁਣੋ","composer.filePicker.selectFiles":"ਫਾਈਲਾਂ ਚੁਣੋ","composer.followerTooltip":"ਜਾਰੀ ਰੱਖਣ ਲਈ, ਓਸੇ ਵਿੰਡੋ ‘ਤੇ ਜਾਓ ਜਿੱਥੇ ਗੱਲਬਾਤ ਸ਼ੁਰੂ ਹੋਈ ਸੀ।","composer.footer.branchSwitch.checkoutError":"ਸ਼ਾਖਾ ਸਵਿੱਚ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {message}","composer.footer.branchSwitch.createAndCheckout":"ਨਵੀਂ ਸ਼ਾਖਾ ਬਣਾਓ ਅਤੇ ਚੈੱਕਆਉਟ ਕਰੋ","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"ਨਵੀਂ ਸ਼ਾਖਾ ਬਣਾਉਣ ਅਤੇ ਚੈੱਕਆਉਟ ਕਰਨ ਲਈ ਬਦਲਾਅ ਕਰੋ","composer.footer.branchSwitch.createBranchError":"ਸ਼ਾਖਾ ਬਣਾਉਣ ਵਿੱਚ ਅਸਫਲ : {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ਸ਼ਾਖਾ ਨਾਮ","composer.footer.branchSwitch.createDialog.branchExistsError":"ਸ਼ਾਖਾ ਪਹਿਲਾਂ ਹੀ ਮੌਜੂਦ ਹੈ।","composer.footer.branchSwitch.createDialog.close":"ਬੰਦ ਕਰੋ","composer.footer.branchSwitch.createDialog.createAndCheckout":"ਬਣਾਓ ਅਤੇ ਚੈੱਕਆਉਟ ਕਰੋ","composer.footer.branchSwitch.createDialog.placeholder":"ਨਵੀਂ-ਸ਼ਾਖਾ","composer.footer.branchSwitch.createDialog.title":"ਸ਼ਾਖਾ ਬਣਾਓ ਅਤੇ ਚੈੱਕਆਉਟ ਕਰੋ","composer.footer.branchSwitch.createDialog.trailingSlashError":"ਸ਼ਾਖਾ ਨਾਮ “/” ਨਾਲ ਸਮਾਪਤ ਨਹੀਂ ਹੋ ਸਕਦਾ।","composer.footer.branchSwitch.tooltip":"ਸ਼ਾਖਾ ਸਵਿੱਚ ਕਰੋ","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{fileCount, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}} ਵਿੱਚ ਬਦਲਾਅ ਕਮਿੱਟ ਕਰੋ, {branchName} ਨੂੰ ਚੈੱਕਆਉਟ ਕਰਨ ਲਈ।","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"ਵਚਨਬੱਧਤਾ","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}} ਵਿੱਚ ਬਦਲਾਅ, {branchName} ਨੂੰ ਚੈੱਕ ਆਉਟ ਕਰਨ ਲਈ।","composer.footer.branchSwitch.uncommittedDialog.cancel":"ਰੱਦ ਕਰੋ","composer.footer.branchSwitch.uncommittedDialog.commit":"ਸ਼ਾਖਾ ਕਮਿੱਟ ਕਰੋ ਅਤੇ ਸਵਿੱਚ ਕਰੋ...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"ਹੇਠ ਲਿਖੀਆਂ ਫਾਈਲਾਂ ਵਿੱਚ ਤੁਹਾਡੇ ਬਦਲਾਅ ਚੈੱਕਆਉਟ ਦੁਆਰਾ ਓਵਰਰਾਈਟ ਕੀਤੇ ਜਾਣਗੇ:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"ਜਾਰੀ ਰੱਖਣ ਲਈ ਕਿਰਪਾ ਕਰਕੇ ਕਮਿੱਟ ਕਰੋ","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ਚੁਣੀ ਗਈ ਸ਼ਾਖਾ","composer.footer.branchSwitch.uncommittedDialog.title":"ਸ਼ਾਖਾ ਸਵਿੱਚ ਕਰਨ ਲਈ ਬਦਲਾਅ ਕਮਿੱਟ ਕਰੋ","composer.footer.branchSwitch.uncommittedSummaryPrefix":"ਗੈਰ-ਕਮਿੱਟ ਕੀਤੇ: {fileCount, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}}","composer.forkSlashCommand.description":"ਇਸ ਥ੍ਰੈੱਡ ਨੂੰ ਸਥਾਨਕ ਜਾਂ ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਫੋਰਕ ਕਰੋ।","composer.forkSlashCommand.option.local.description":"ਨਵੇਂ ਲੋਕਲ ਥ੍ਰੈਡ ਵਿੱਚ ਜਾਰੀ ਰੱਖੋ","composer.forkSlashCommand.option.local.title":"ਲੋਕਲ ਵਿੱਚ ਫੋਰਕ","composer.forkSlashCommand.option.worktree.description":"ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਜਾਰੀ ਰੱਖੋ","composer.forkSlashCommand.option.worktree.title":"ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਫੋਰਕ ਕਰੋ","composer.forkSlashCommand.title":"ਫੋਰਕ","composer.ideContextIndicator":"IDE ਸੰਦਰਭ","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE ਤੋਂ ਸੰਦਰਭ ਸ਼ਾਮਲ ਕਰੋ","composer.ideContextIndicator.tooltipToggle":"ਟੋਗਲ ਲਈ","composer.ideContextSlashCommand.disableDescription":"IDE ਸੰਦਰਭ ਬੰਦ ਕਰੋ","composer.ideContextSlashCommand.enableDescription":"ਆਪਣੇ IDE ਤੋਂ ਮੌਜੂਦਾ ਚੋਣ, ਖੁੱਲ੍ਹੀਆਂ ਫਾਈਲਾਂ ਅਤੇ ਹੋਰ ਸੰਦਰਭ ਸ਼ਾਮਲ ਕਰੋ।","composer.ideContextSlashCommand.title":"IDE ਸੰਦਰਭ","composer.imageInputsUnsupported":"ਇਹ ਮਾਡਲ ਤਸਵੀਰ ਇਨਪੁੱਟ ਦਾ ਸਮਰਥਨ ਨਹੀਂ ਕਰਦਾ। ਇੱਕ ਵੱਖਰਾ ਮਾਡਲ ਅਜ਼ਮਾਓ।","composer.imageUploadFailed":"ਤਸਵੀਰ ਅੱਪਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","composer.includeIdeContextDropdown":"IDE ਸੰਦਰਭ ਸ਼ਾਮਲ ਕਰੋ","composer.includeIdeContextDropdown.ariaLabel":"IDE ਸੰਦਰਭ ਸ਼ਾਮਲ ਕਰੋ","composer.localCwdDropdown.addWorkspaceRoot":"ਨਵਾਂ ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","composer.localCwdDropdown.noActiveRoot":"ਆਪਣਾ ਪ੍ਰੋਜੈਕਟ ਚੁਣੋ","composer.localCwdDropdown.noResults":"ਕੋਈ ਫੋਲਡਰ ਨਹੀਂ ਮਿਲੇ","composer.localCwdDropdown.title":"ਆਪਣਾ ਪ੍ਰੋਜੈਕਟ ਚੁਣੋ","composer.localTaskError":"ਗੱਲਬਾਤ ਸ਼ੁਰੂ ਕਰਨ ਵਿੱਚ ਤਰੁੱਟੀ","composer.mcpSlashCommand.description":"MCP ਸਰਵਰ ਸਥਿਤੀ ਦਿਖਾਓ","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ਪ੍ਰਮਾਣਿਤ ਨਹੀਂ","composer.mcpStatus.authOauth":"ਪ੍ਰਮਾਣਿਤ (OAuth)","composer.mcpStatus.authToken":"ਪ੍ਰਮਾਣਿਤ (API key)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"ਬੰਦ ਕਰੋ","composer.mcpStatus.disabled":"ਬੰਦ ਕੀਤਾ","composer.mcpStatus.emptyLabel":"ਸਰਵਰ:","composer.mcpStatus.emptyValue":"ਕੋਈ MCP ਸਰਵਰ ਕੌਨਫਿਗਰ ਨਹੀਂ ਕੀਤਾ","composer.mcpStatus.enabled":"ਸਮਰੱਥ ਕੀਤਾ ਗਿਆ","composer.mcpStatus.errorLabel":"ਸਥਿਤੀ:","composer.mcpStatus.errorValue":"MCP ਸਥਿਤੀ ਨੂੰ ਲੋਡ ਕਰਨਾ ਅਸਮਰੱਥ","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ਏਜੰਟ","composer.mode.agentMode.auto.dropdownLabel":"ਏਜੰਟ","composer.mode.agentMode.auto.optionLabel":"ਏਜੰਟ","composer.mode.agentMode.changePermission":"ਮੋਡ ਸਵਿੱਚ ਕਰੋ","composer.mode.agentMode.custom":"ਕਸਟਮ","composer.mode.agentMode.custom.dropdownLabel":"ਕਸਟਮ","composer.mode.agentMode.custom.option":"ਕਸਟਮ (config.toml)","composer.mode.agentMode.custom.optionLabel":"ਕਸਟਮ (config.toml)","composer.mode.agentMode.customInfo.cancel":"ਰੱਦ ਕਰੋ","composer.mode.agentMode.customInfo.cli":"ਤੁਸੀਂ ਉਹਨਾਂ ਸੈਟਿੰਗਾਂ ਨੂੰ CLI ਤੋਂ ਜਾਂ ਫਾਈਲ ਨੂੰ ਸਿੱਧਾ ਐਡਿਟ ਕਰਕੇ ਐਡਜਸਟ ਕਰ ਸਕਦੇ ਹੋ।","composer.mode.agentMode.customInfo.confirm":"ਕਸਟਮ ਮੋਡ ਦੀ ਵਰਤੋਂ ਕਰੋ","composer.mode.agentMode.customInfo.description":"ਕਸਟਮ ਮੋਡ ਪਰਿਭਾਸ਼ਿਤ ਪ੍ਰਵਾਨਗੀ ਅਤੇ ਸੈਂਡਬੌਕਸ ਨੀਤੀਆਂ ਨੂੰ ਲਾਗੂ ਕਰਦਾ ਹੈ ਤੁਹਾਡੇ <link>config.toml</link> ਫਾਈਲ।","composer.mode.agentMode.customInfo.docs":"ਇਸ ਵਿੱਚ ਪ੍ਰਵਾਨਗੀ ਅਤੇ ਸੈਂਡਬੌਕਸ ਨੀਤੀਆਂ ਨੂੰ ਕੌਨਫਿਗਰ ਕਰਨ ਬਾਰੇ ਹੋਰ ਜਾਣੋ <link>ਐਗਜ਼ੀਕਿਊਸ਼ਨ ਵਾਤਾਵਰਣ ਦਸਤਾਵੇਜ਼</link>.","composer.mode.agentMode.customInfo.refresh":"ਕੋਈ ਵੀ ਬਦਲਾਅ ਅਗਲੀ ਵਾਰ ਏਜੰਟ ਦੇ ਚੱਲਣ 'ਤੇ ਲਾਗੂ ਹੋਵੇਗਾ।","composer.mode.agentMode.customInfo.title":"ਕਸਟਮ ਮੋਡ ਕਿੰਝ ਕੰਮ ਕਰਦਾ ਹੈ","composer.mode.agentMode.fullAccess":"ਏਜੰਟ (ਪੂਰੀ ਪਹੁੰਚ)","composer.mode.agentMode.fullAccess.dropdownLabel":"ਏਜੰਟ (ਪੂਰੀ ਪਹੁੰਚ)","composer.mode.agentMode.fullAccess.optionLabel":"ਏਜੰਟ (ਪੂਰੀ ਪਹੁੰਚ)","composer.mode.agentMode.fullAccessConfirm.caution":"ਪੂਰੀ ਪਹੁੰਚ ਨੂੰ ਚਾਲੂ ਕਰਨ ਸਮੇਂ ਸਾਵਧਾਨੀ ਵਰਤੋ। ਇਹ ਡੇਟਾ ਦੇ ਨੁਕਸਾਨ, ਲੀਕ, ਜਾਂ ਅਣਕਿਆਸੇ ਵਿਵਹਾਰ ਦੇ ਜੋਖਮ ਨੂੰ ਕਾਫ਼ੀ ਵਧਾ ਦਿੰਦਾ ਹੈ।","composer.mode.agentMode.fullAccessConfirm.confirm":"ਹਾਂ, ਜਾਰੀ ਰੱਖੋ","composer.mode.agentMode.fullAccessConfirm.description":"ਜਦੋਂ Codex ਪੂਰੀ ਪਹੁੰਚ ਨਾਲ ਚੱਲਦਾ ਹੈ, ਤਾਂ ਇਹ ਤੁਹਾਡੇ ਕੰਪਿਊਟਰ 'ਤੇ ਕਿਸੇ ਵੀ ਫਾਈਲ ਨੂੰ ਐਡਿਟ ਕਰ ਸਕਦਾ ਹੈ ਅਤੇ ਤੁਹਾਡੀ ਮਨਜ਼ੂਰੀ ਤੋਂ ਬਿਨਾਂ, ਨੈੱਟਵਰਕ ਨਾਲ ਕਮਾਂਡਾਂ ਚਲਾ ਸਕਦਾ ਹੈ।","composer.mode.agentMode.fullAccessConfirm.goBack":"ਰੱਦ ਕਰੋ","composer.mode.agentMode.fullAccessConfirm.title":"ਪੂਰੀ ਪਹੁੰਚ ਚਾਲੂ ਕਰਨੀ ਹੈ?","composer.mode.agentMode.readOnly":"ਚੈਟ","composer.mode.agentMode.readOnly.dropdownLabel":"ਚੈਟ","composer.mode.agentMode.readOnly.optionLabel":"ਚੈਟ","composer.mode.agentMode.tooltip":"ਮੋਡ ਸਵਿੱਚ ਕਰੋ","composer.mode.agentMode.tooltip.auto":"ਫਾਈਲਾਂ ਨੂੰ ਪੜ੍ਹਦਾ ਅਤੇ ਐਡਿਟ ਕਰਦਾ ਹੈ ਅਤੇ ਕਮਾਂਡਾਂ ਚਲਾਉਂਦਾ ਹੈ।","composer.mode.agentMode.tooltip.custom":"config.toml ਵਿੱਚ ਪਰਿਭਾਸ਼ਿਤ ਨਵੀਨਤਮ ਮਨਜ਼ੂਰੀ ਅਤੇ ਸੈਂਡਬੌਕਸ ਨੀਤੀਆਂ ਦੀ ਵਰਤੋਂ ਕਰੋ।","composer.mode.agentMode.tooltip.fullAccess":"Codex ਇਸ ਪ੍ਰੋਜੈਕਟ ਤੋਂ ਬਾਹਰ ਫਾਈਲਾਂ ਨੂੰ ਸੰਪਾਦਿਤ ਕਰ ਸਕਦਾ ਹੈ ਅਤੇ ਨੈੱਟਵਰਕ ਪਹੁੰਚ ਨਾਲ ਕਮਾਂਡ ਚਲਾ ਸਕਦਾ ਹੈ। ਵਰਤੋਂ ਕਰਦੇ ਸਮੇਂ ਸਾਵਧਾਨੀ ਵਰਤੋ।","composer.mode.agentMode.tooltip.readOnly":"ਫਾਈਲਾਂ ਐਡਿਟ ਕਰਨ ਅਤੇ ਕਮਾਂਡਾਂ ਰਨ ਕਰਨ ਲਈ ਮਨਜ਼ੂਰੀ ਦੀ ਲੋੜ ਹੁੰਦੀ ਹੈ","composer.mode.cloud.tooltip":"ਕਲਾਊਡ ਵਾਤਾਵਰਣ ਵਿੱਚ ਕੰਮ ਕਰੋ","composer.mode.contactAdmin":"ਵੱਧ ਪਹੁੰਚ ਪ੍ਰਾਪਤ ਕਰਨ ਲਈ, ਆਪਣੇ ਪ੍ਰਬੰਧਕ ਨਾਲ ਸੰਪਰਕ ਕਰੋ","composer.mode.local":"ਲੋਕਲ","composer.mode.local.learnMore":"ਵਧੇਰੇ ਜਾਣੋ","composer.mode.local.model.custom":"ਕਸਟਮ","composer.mode.local.model.loadingModel":"ਮਾਡਲ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","composer.mode.local.model.selecrReasoningEffort":"ਰੀਜ਼ਨਿੰਗ ਚੁਣੋ","composer.mode.local.model.selectModel":"ਮਾਡਲ ਚੁਣੋ","composer.mode.local.model.tooltip":"ਮਾਡਲ ਚੁਣੋ","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"ਉੱਚਾ","composer.mode.local.reasoning.low.label":"ਨੀਵਾਂ","composer.mode.local.reasoning.medium.label":"ਮੱਧਮ","composer.mode.local.reasoning.minimal.label":"ਘੱਟ ਤੋਂ ਘੱਟ","composer.mode.local.reasoning.none.label":"ਕੋਈ ਨਹੀਂ","composer.mode.local.reasoning.xhigh.label":"ਵਧੇਰੇ ਉੱਚਾ","composer.mode.localRemoteWhereRun":"ਚੁਣੋ ਕਿ ਕਾਰਜ ਨੂੰ ਕਿੱਥੇ ਰਨ ਕਰਨਾ ਹੈ","composer.mode.newTask.header":"ਵਿੱਚ ਜਾਰੀ ਰੱਖੋ","composer.mode.rateLimit.day":"{days}ਦਿ","composer.mode.rateLimit.heading":"ਦਰ ਸੀਮਾਵਾਂ ਬਾਕੀ","composer.mode.rateLimit.hour":"{hours}ਘੰ","composer.mode.rateLimit.minute":"{minutes}ਮਿੰ","composer.mode.rateLimit.modelSectionLabel":"{modelName} ਸੀਮਾ:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ਹਫ਼ਤਾਵਾਰੀ ਸੀਮਾ} other {{weeks} ਹਫ਼ਤਾਵਾਰੀ ਸੀਮਾ}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ਹਫਤਾਵਾਰੀ} other {{weeks} ਹਫਤਾ}}","composer.mode.remote.connectToCloud":"Codex ਵੈੱਬ ਨੂੰ ਕੁਨੈਕਟ ਕਰੋ","composer.mode.remote.connectToCloudDisabledTooltip":"ਕਲਾਉਡ 'ਤੇ ਕਾਰਜ ਭੇਜਣ ਨੂੰ ਚਾਲੂ ਕਰਨ ਲਈ ਕੋਡੈਕਸ ਵੈੱਬ ਰਾਹੀਂ ਇੱਕ ਵਾਤਾਵਰਣ ਸੈੱਟ ਅਪ ਕਰੋ।","composer.mode.remote.selectEnvironment":"ਵਾਤਾਵਰਣ ਚੁਣੋ","composer.mode.remote.sendToCloud":"ਕਲਾਊਡ ’ਤੇ ਭੇਜੋ","composer.mode.remote.setupViaWeb":"Codex ਵੈੱਬ ਰਾਹੀਂ ਵਾਤਾਵਰਣ ਸੈੱਟਅੱਪ ਕਰੋ","composer.mode.runInCloud":"ਕਲਾਊਡ","composer.mode.runInCloudWithEnvironment":"ਕਲਾਊਡ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ਕਲਾਊਡ ਵਾਤਾਵਰਣ ਵਿੱਚ ਕੰਮ ਕਰੋ","composer.mode.segmentedToggle.local.tooltip":"ਆਪਣੀ ਲੋਕਲ ਪ੍ਰੋਜੈਕਟ ਵਿੱਚ ਕੰਮ ਕਰੋ","composer.mode.segmentedToggle.worktree.tooltip":"ਸਮਾਂਤਰ ਵਰਕਟਰੀ ਵਿੱਚ ਕੰਮ ਕਰੋ","composer.mode.upgradeToPlus":"ਪਲੱਸ ‘ਤੇ ਅੱਪਗ੍ਰੇਡ ਕਰੋ","composer.mode.upgradeToPro":"ਪ੍ਰੋ ਲਈ ਅੱਪਗ੍ਰੇਡ ਕਰੋ","composer.mode.workLocally":"ਲੋਕਲ ਪ੍ਰੋਜੈਕਟ","composer.mode.workLocally.currentBranchFallback":"ਤੁਹਾਡੀ ਸ਼ਾਖਾ","composer.mode.workLocally.tooltip":"{branchName} ਵਿੱਚ ਕੰਮ ਕਰੋ","composer.mode.worktree":"ਨਵਾਂ ਵਰਕਟਰੀ","composer.mode.worktree.submoduleWarning":"ਇਸ ਰੀਪੌ ਵਿੱਚ ਗਿਟ ਸਬਮੋਡਿਊਲ ਹਨ। ਵਰਕਟਰੀ ਬਣਾਉਣਾ ਅਸਫਲ ਹੋ ਸਕਦਾ ਹੈ।","composer.mode.worktree.tooltip":"ਸਮਾਨਾਂਤਰ ਕੰਮ ਕਰਨ ਲਈ ਆਪਣੇ ਸਥਾਨਕ ਪ੍ਰੋਜੈਕਟ ਦੀ ਇੱਕ ਕਾਪੀ ਬਣਾਓ","composer.mode.worktreeSegment":"ਵਰਕਟਰੀ","composer.modelChangeDuringConversationWarning.toast":"ਗੱਲਬਾਤ ਦੇ ਵਿਚਕਾਰ ਮਾਡਲ ਬਦਲਣ ਨਾਲ ਪ੍ਰਦਰਸ਼ਨ ਘੱਟ ਜਾਵੇਗਾ।","composer.newChat.heading.browser":"ਸਾਨੂੰ ਅੱਗੇ ਕੀ ਕੋਡ ਕਰਨਾ ਚਾਹੀਦਾ ਹੈ?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex config.toml ਵਿੱਚ ਦਰਸਾਈ ਅਨੁਮਤੀ ਦੀ ਵਰਤੋਂ ਕਰਦਾ ਹੈ।","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ਕੋਲ ਤੁਹਾਡੇ ਕੰਪਿਊਟਰ ਤੱਕ ਪੂਰੀ ਪਹੁੰਚ ਹੈ (ਉੱਚ ਜੋਖਮ)","composer.permissionsDropdown.custom.label":"ਕਸਟਮ (config.toml)","composer.permissionsDropdown.custom.optionLabel":"ਕਸਟਮ (config.toml)","composer.permissionsDropdown.default.label":"ਡਿਫਾਲਟ ਮਨਜ਼ੂਰੀਆਂ","composer.permissionsDropdown.default.optionLabel":"ਡਿਫਾਲਟ ਮਨਜ਼ੂਰੀਆਂ","composer.permissionsDropdown.default.tooltip":"Codex ਆਪਣੇ ਆਪ ਹੀ ਇੱਕ ਸੈਂਡਬੌਕਸ ਵਿੱਚ ਕਮਾਂਡਾਂ ਚਲਾਉਂਦਾ ਹੈ।","composer.permissionsDropdown.disabled.requirements":"ਮਨਜ਼ਰੀਆਂ requirements.toml ਵੱਲੋਂ ਲੌਕ ਹਨ","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml ਵੱਲੋਂ ਸੰਪੂਰਨ ਪਹੁੰਚ ਅਸਮਰੱਥਿਤ ਹੈ","composer.permissionsDropdown.fullAccess.label":"ਪੂਰੀ ਪਹੁੰਚ","composer.permissionsDropdown.fullAccess.optionLabel":"ਪੂਰੀ ਪਹੁੰਚ","composer.permissionsDropdown.trigger.tooltip":"ਮਨਜ਼ੂਰੀਆਂ ਬਦਲੋ","composer.personalitySlashCommand.description.friendly":"ਨਿੱਘਾ, ਸਹਿਯੋਗੀ, ਅਤੇ ਮਦਦਗਾਰ","composer.personalitySlashCommand.description.pragmatic":"ਸੰਖੇਪ, ਕਾਰਜ-ਕੇਂਦ੍ਰਿਤ, ਅਤੇ ਸਿੱਧਾ","composer.personalitySlashCommand.label.friendly":"ਦੋਸਤਾਨਾ","composer.personalitySlashCommand.label.pragmatic":"ਬੱਸ ਨਤੀਜੇ ਨਾਲ ਸਰੋਕਾਰ ਵਾਲਾ","composer.personalitySlashCommand.notApplicableSuffix":"(ਮੌਜੂਦਾ ਮਾਡਲ ’ਤੇ ਲਾਗੂ ਨਹੀਂ ਹੁੰਦਾ)","composer.personalitySlashCommand.title":"ਵਿਅਕਤੀਤਤਵ","composer.placeholder.cloudFollowUp.directFollowUp":"ਇਸ ਕਲਾਊਡ ਕਾਰਜ ‘ਤੇ ਹੀ ਫੌਲੋ-ਅੱਪ ਲਵੋ","composer.placeholder.cloudFollowUp.local":"ਇਕ ਨਵਾਂ ਸਥਾਨਕ ਕਾਰਜ ਬਣਾਉ ਜੋ ਇਸ ਕਲਾਊਡ ਕਾਰਜ ਦਾ ਹਵਾਲਾ ਲੈਂਦਾ ਹੈ।","composer.placeholder.cloudFollowUp.workingTree":"ਇੱਕ ਨਵਾਂ ਕਲਾਉਡ ਕਾਰਜ ਬਣਾਉ ਜਿਸ ਵਿੱਚ ਤੁਹਾਡਾ ਮੌਜੂਦਾ ਕੋਡ ਸ਼ਾਮਲ ਹੋਵੇ ਅਤੇ ਉਹ ਕਾਰਜ ਇਸ ਕਾਰਜ ਦਾ ਹਵਾਲਾ ਦੇਵੇਗਾ।","composer.placeholder.localFollowUp.cloud":"ਨਵੇਂ ਕਲਾਊਡ ਕਾਰਜ ‘ਤੇ ਫੌਲੋ-ਅੱਪ ਲਵੋ","composer.placeholder.localFollowUp.locally":"ਫੌਲੋ-ਅੱਪ ਬਦਲਾਵਾਂ ਬਾਬਤ ਆਖੋ","composer.placeholder.newTask.cloud":"Codex ਨੂੰ ਕਲਾਊਡ ਵਿੱਚ ਕੁਝ ਵੀ ਕਰਨ ਲਈ ਕਹੋ","composer.placeholder.newTask.doAnything":"Codex ਨੂੰ ਕੁਝ ਵੀ ਕਰਨ ਲਈ ਪੁੱਛੋ","composer.placeholder.newTask.locally":"Codex ਨੂੰ ਕੁਝ ਵੀ ਪੁੱਛੋ, @ ਫਾਈਲਾਂ ਸ਼ਾਮਲ ਕਰਨ ਲਈ, / ਕਮਾਂਡਾ ਲਈ","composer.planModeDropdown":"ਪਲਾਨ ਮੋਡ","composer.planModeDropdown.ariaLabel":"ਪਲਾਨ ਮੋਡ","composer.planModeIndicator":"ਯੋਜਨਾ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex ਨਾਲ ਇੱਕ ਪਲਾਨ ਤਿਆਰ ਕਰੋ","composer.planModeIndicator.tooltipToggle":"ਟੋਗਲ ਲਈ","composer.planSlashCommand.disableDescription":"ਪਨਾਲ ਮੋਡ ਬੰਦ ਕਰੋ","composer.planSlashCommand.enableDescription":"ਪਲਾਨ ਮੋਡ ਬੰਦ ਕਰੋ","composer.planSlashCommand.title":"ਪਲਾਨ ਮੋਡ","composer.priorContext.label":"ਪਿਛਲਾ ਸੰਦਰਭ","composer.priorContext.removeAriaLabel":"ਪਿਛਲੇ ਸੰਦਰਭ ਨੂੰ ਹਟਾਓ","composer.queuedMessage.delete":"ਕਿਊ ਵਿਚਲੇ ਸੁਨੇਹੇ ਡਿਲੀਟ ਕਰੋ","composer.queuedMessage.edit":"ਸੁਨੇਹਾ ਸੰਪਾਦਿਤ ਕਰੋ","composer.queuedMessage.more":"ਕਿਊ ਕੀਤੇ ਸੁਨੇਹਿਆਂ ਲਈ ਕਾਰਵਾਈਆਂ","composer.queuedMessage.sendNow":"ਸਟੀਰ","composer.queuedMessage.sendNowTooltip":"ਕੰਮ ਵਿੱਚ ਵਿਘਨ ਪਾਏ ਬਗੈਰ ਹੁਣੇ ਭੇਜੋ","composer.queuedMessage.turnOff":"ਕਿਊ ਕਰਨਾ ਬੰਦ ਕਰੋ","composer.reasoningEffort.local.reasoning.tooltip":"ਰੀਜ਼ਨਿੰਗ ਕੋਸ਼ਿਸ਼ ਚੁਣੋ","composer.remote.branchStartingPoint":"ਇਸ ਕਾਰਜ ਨੂੰ ਕਿਹੜੀ ਸ਼ਾਖਾ ਤੋਂ ਸ਼ੁਰੂ ਕਰਨਾ ਚਾਹੀਦਾ ਹੈ?","composer.remote.branchesSectionHeading":"ਸ਼ਾਖਾਵਾਂ","composer.remote.currentEditsSuffix.followUp":"ਇਕ ਨਵਾਂ ਕਾਰਜ ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ ਜੋ ਇਸ ਕਲਾਊਡ ਕਾਰਜ ਦਾ ਹਵਾਲਾ ਲੈਂਦਾ ਹੈ।","composer.remote.currentEditsSuffix.useLocal":"ਲੋਕਲ ਕੋਡ ਬਦਲਾਵਾਂ ਨਾਲ","composer.remote.directFollowUp":"ਲੋਕਲ ਬਦਲਾਵਾਂ ਦੀ ਵਰਤੋਂ ਨਾ ਕਰੋ","composer.remote.errorLoadingBranches":"ਬ੍ਰਾਂਚਾਂ ਲੋਡ ਕਰਨ ਵਿੱਚ ਤਰੁੱਟੀ","composer.remote.fromBranch":"{branch} ਤੋਂ","composer.remote.fromCurrentBranch":"{branch} ਤੋਂ (ਮੌਜੂਦਾ)","composer.remote.loadingMoreBranches":"ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","composer.remote.localFileStateHeading":"ਲੋਕਲ ਫਾਈਲ ਸਟੇਟ","composer.remote.localWorkingTree":"ਲੋਕਲ ਬਦਲਾਵਾਂ ਦੀ ਵਰਤੋਂ ਕਰੋ","composer.remote.startingPoint":"ਇਸ ਕਾਰਜ ਨੂੰ ਕਿਹੜੇ ਕੋਡ ਤੋਂ ਸ਼ੁਰੂ ਕਰਨਾ ਚਾਹੀਦਾ ਹੈ?","composer.reviewMode.branches.error":"ਸ਼ਾਖਾਵਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","composer.reviewMode.branches.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","composer.reviewMode.gitRoot.error":"ਗਿਟ ਰੂਟ ਨਹੀਂ ਮਿਲੀ","composer.reviewMode.option.baseBranch.simple":"ਮੂਲ ਸ਼ਾਖਾ ਵਿਰੁੱਧ ਤੁਲਨਾ ਕਰੋ","composer.reviewMode.option.unstaged.simple":"ਅਣ-ਕਮਿੱਟ ਕੀਤੇ ਬਦਲਾਵਾਂ ਦੀ ਸਮੀਖਿਆ ਕਰੋ","composer.reviewMode.quickReviewError":"ਕੋਡ ਸਮੀਖਿਆ ਨੂੰ ਸ਼ੁਰੂ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","composer.reviewMode.title":"ਕੋਡ ਸਮੀਖਿਆ","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml ਵੱਲੋਂ ਸੰਪੂਰਨ ਪਹੁੰਚ ਅਸਮਰੱਥਿਤ ਹੈ","composer.sandboxButton.windowsSandboxDialog.content":"ਕੋਡੈਕਸ ਫਾਈਲ ਸਿਸਟਮ ਅਤੇ ਨੈੱਟਵਰਕ ਪਹੁੰਚ ਨੂੰ ਸੀਮਤ ਕਰਨ ਲਈ ਵਿੰਡੋਜ਼ 'ਤੇ ਪ੍ਰਯੋਗਾਤਮਕ ਸੈਂਡਬੌਕਸ ਦੀ ਵਰਤੋਂ ਕਰ ਸਕਦਾ ਹੈ।{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"ਵਿੰਡੋਜ਼ ਸੈਂਡਬੌਕਸ ਚਾਲੂ ਕਰਨਾ ਹੈ?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"ਸਿਰਫ ਪੜ੍ਹਨ ਲਈ","composer.searchEnvironments":"ਵਾਤਾਵਰਣ ਦੀ ਖੋਜ ਕਰੋ","composer.skillMentionList.app":"ਐਪ","composer.skillMentionList.loading":"ਹੁਨਰ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","composer.skillMentionList.noResults":"ਕੋਈ ਹੁਨਰ ਨਹੀਂ ਲੱਭਿਆ ਗਿਆ","composer.slashCommands.cloudEnvironment.title":"ਕਲਾਊਡ ਵਾਤਾਵਰਣ","composer.slashCommands.dialogLabel":"ਸਲੈਸ਼ ਕਮਾਂਡ ਮੀਨੂੰ","composer.slashCommands.dialogTitle":"ਸਲੈਸ਼ ਕਮਾਂਡਾਂ","composer.slashCommands.disabledTooltip":"ਸਲੈਸ਼ ਕਮਾਂਡਾਂ ਦੀ ਵਰਤੋਂ ਕਰਨ ਲਈ ਨਵੀਂ ਗੱਲਬਾਤ ਸ਼ੁਰੂ ਕਰੋ","composer.slashCommands.inputPlaceholder":"ਖੋਜੋ","composer.slashCommands.noResults":"ਕੋਈ ਕਮਾਂਡ ਨਹੀਂ","composer.slashCommands.skillsGroup":"ਹੁਨਰ","composer.slashCommands.tooltip":"ਸਲੈਸ਼ ਕਮਾਂਡਾਂ ਨੂੰ ਬ੍ਰਾਊਜ਼ ਕਰੋ","composer.status.close":"ਬੰਦ ਕਰੋ","composer.statusPlain.alertLabel":"ਚੇਤਾਵਨੀ:","composer.statusPlain.alertValue":"{window} ’ਤੇ {remaining}% ਬਾਕੀ","composer.statusPlain.contextLabel":"ਸੰਦਰਭ","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ਵਰਤਿਆ / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% ਬਾਕੀ","composer.statusPlain.heading":"ਸਥਿਤੀ","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} ਸੀਮਾ:","composer.statusPlain.rateLimitDays":"{count}ਦ ਸੀਮਾ","composer.statusPlain.rateLimitFallbackLabel":"ਦਰ ਸੀਮਾ:","composer.statusPlain.rateLimitHours":"{count}ਘ ਸੀਮਾ","composer.statusPlain.rateLimitLabelBase":"ਦਰ ਸੀਮਾ","composer.statusPlain.rateLimitMinutes":"{count}ਮ ਸੀਮਾ","composer.statusPlain.rateLimitPercent":"{remaining}% ਬਾਕੀ","composer.statusPlain.rateLimitReset":"{time} ਨੂੰ ਰੀਸੈੱਟ ਹੁੰਦਾ ਹੈ","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"ਰੀਸੈੱਟ ਸਮਾਂ ਉਪਲਬਧ ਨਹੀਂ","composer.statusPlain.rateLimitUnavailable":"ਉਪਲਬਧ ਨਹੀਂ ਹੈ","composer.statusPlain.sessionCopiedAriaLabel":"ਸੈਸ਼ਨ id ਕਾਪੀ ਕੀਤੀ","composer.statusPlain.sessionCopiedTooltip":"ID ਕਾਪੀ ਕੀਤੀ","composer.statusPlain.sessionCopyAriaLabel":"ਸੈਸ਼ਨ id ਕਾਪੀ ਕੀਤੀ","composer.statusPlain.sessionCopyTooltip":"ID ਕਾਪੀ ਕੀਤੀ","composer.statusPlain.sessionLabel":"ਸੈਸ਼ਨ:","composer.statusSlashCommand.description":"ਥ੍ਰੈਡ id, ਸੰਦਰਭ ਵਰਤੋਂ ਅਤੇ ਦਰ ਸੀਮਾ ਦਿਖਾਓ","composer.statusSlashCommand.title":"ਸਥਿਤੀ","composer.submit.blockedDialogOk":"ਠੀਕ ਹੈ","composer.submit.blockedDialogTitle":"ਸੁਨੇਹਾ ਭੇਜਣ ਵਿੱਚ ਅਸਮਰੱਥ","composer.submit.emptyMessage":"ਸ਼ੁਰੂ ਕਰਨ ਲਈ ਇੱਕ ਸੁਨੇਹਾ ਦਰਜ ਕਰੋ","composer.submit.imageInputsUnsupported":"ਇਸ ਸੁਨੇਹੇ ਨੂੰ ਭੇਜਣ ਲਈ ਤਸਵੀਰਾਂ ਹਟਾਓ ਜਾਂ ਮਾਡਲ ਬਦਲੋ।","composer.submit.loadingLocalConfig":"ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","composer.submit.missingCloudConfig":"ਤੁਹਾਨੂੰ ਇੱਕ ਕਲਾਊਡ ਵਾਤਾਵਰਣ ਚੁਣਨਾ ਹੋਵੇਗਾ","composer.submit.missingCloudTurn":"ਇਸ ਕਾਰਜ ’ਤੇ ਫਾਲੋ-ਅੱਪ ਨਹੀਂ ਕੀਤਾ ਜਾ ਸਕਿਆ","composer.submit.noWorkspace":"ਕੋਡੈਕਸ ਦੀ ਵਰਤੋਂ ਕਰਨ ਲਈ ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","composer.submit.waitForImageUploads":"ਤਸਵੀਰਾਂ ਅੱਪਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","composer.submitButtonTooltip.send":"ਭੇਜੋ","composer.submitButtonTooltip.stop":"ਰੁਕੋ","composer.worktreeEnvironment.create":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਬਣਾਓ","composer.worktreeEnvironment.default":"ਡਿਫਾਲਟ ਵਾਤਾਵਰਣ","composer.worktreeEnvironment.error":"ਵਾਤਾਵਰਣਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਤਰੁੱਟੀ","composer.worktreeEnvironment.loading":"ਵਾਤਾਵਰਣ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","composer.worktreeEnvironment.title":"ਲੋਕਲ ਵਾਤਾਵਰਣ","composer.worktreeEnvironment.tooltip":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਚੁਣੋ","composer.worktreeSetupFailed":"ਵਰਕਟਰੀ ਸੈੱਟਅੱਪ ਅਸਫਲ। ਸੈੱਟਅੱਪ ਸਕ੍ਰਿਪਟ ਲਈ .codex/environments ਦੇਖੋ।","compoundButton.secondaryAction":"ਸੈਕੰਡਰੀ ਕਾਰਵਾਈ","copyButton.copied":"ਕਾਪੀ ਕੀਤਾ ਗਿਆ","copyButton.copiedAriaLabel":"ਕਾਪੀ ਕੀਤਾ ਗਿਆ","copyButton.copy":"ਕਾਪੀ ਕਰੋ","copyButton.copyAriaLabel":"ਕਾਪੀ ਕਰੋ","copyButton.copyCode":"ਕੋਡ ਕਾਪੀ ਕਰੋ","diff.actionButton.revertFile":"ਫਾਈਲ ਪਹਿਲਾਂ ਵਰਗੀ ਕਰੋ","diff.actionButton.revertHunk":"ਪਹਿਲਾਂ ਵਾਂਗ ਕਰੋ","diff.actionButton.revertSection":"ਸਾਰੇ ਪਹਿਲਾਂ ਵਾਂਗ ਕਰੋ","diff.actionButton.revertSectionLabel":"ਸਾਰੇ ਪਹਿਲਾਂ ਵਾਂਗ ਕਰੋ","diff.actionButton.stageFile":"ਫਾਈਲ ਸਟੇਜ ਕਰੋ","diff.actionButton.stageHunk":"ਸਟੇਜ ਕਰੋ","diff.actionButton.stageSection":"ਸਾਰੇ ਸਟੇਜ ਕਰੋ","diff.actionButton.stageSectionLabel":"ਸਾਰੇ ਸਟੇਜ ਕਰੋ","diff.actionButton.unstageFile":"ਫਾਈਲ ਨੂੰ ਸਟੇਜ ਨਾ ਕਰੋ","diff.actionButton.unstageHunk":"ਸਟੇਜ ਨਾ ਕਰੋ","diff.actionButton.unstageSection":"ਸਾਰਿਆਂ ਨੂੰ ਸਟੇਜ ਤੋਂ ਹਟਾਓ","diff.actionButton.unstageSectionLabel":"ਸਾਰਿਆਂ ਨੂੰ ਸਟੇਜ ਤੋਂ ਹਟਾਓ","diff.fileHeader.toggle":"ਡਿਫ ਫਾਈਲ ਬਦਲੋ","electron.onboarding.login.apikey.cancel":"ਰੱਦ ਕਰੋ","electron.onboarding.login.apikey.continue":"ਜਾਰੀ ਰੱਖੋ","electron.onboarding.login.apikey.label":"OpenAI API ਕੁੰਜੀ","electron.onboarding.login.apikey.open":"API ਕੁੰਜੀ ਦਰਜ ਕਰੋ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"ਸਾਈਨ-ਇਨ ਰੱਦ ਕਰੋ","electron.onboarding.login.chatgpt.continue":"ChatGPT ਨਾਲ ਜਾਰੀ ਰੱਖੋ","electron.onboarding.login.devbox":"ਰਿਮੋਟ SSH ਨਾਲ ਕਨੈਕਟ ਕਰੋ","electron.onboarding.login.error":"ਸਾਈਨ-ਇਨ ਅਸਫਲ: {rawMessage}","electron.onboarding.login.snake.start":"ਸਨੇਕ ਖੇਡੋ","electron.onboarding.login.sshConfig.cancel":"ਰੱਦ ਕਰੋ","electron.onboarding.login.sshConfig.continue":"ਜਾਰੀ ਰੱਖੋ","electron.onboarding.login.sshConfig.hostnameLabel":"SSH ਹੋਸਟਨਾਮ","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ਏਜੰਟ ਬਿਲਡ ਕਰਨ ਦਾ ਸਭ ਤੋਂ ਵਧੀਆ ਤਰੀਕਾ","electron.onboarding.login.title":"Codex ’ਤੇ ਸਵਾਗਤ ਹੈ","electron.onboarding.shell.title":"ਕੋਡੈਕਸ","electron.onboarding.welcome.continue":"ਜਾਰੀ ਰੱਖੋ","electron.onboarding.welcome.doubleLimits.description":"Codex ਐਪ ਲਾਂਚ ਦੇ ਜਸ਼ਨ ਵਿੱਚ, ਤੁਹਾਡੇ ਕੋਲ 2 ਅਪ੍ਰੈਲ ਤੱਕ 2× ਦਰ ਸੀਮਾ ਹੈ।","electron.onboarding.welcome.freego.description":"ਕੋਡੈਕਸ ਤੁਹਾਡੀ ਯੋਜਨਾ ਵਿੱਚ 2 ਮਾਰਚ ਤੱਕ ਮੁਫ਼ਤ ਵਿੱਚ ਸ਼ਾਮਲ ਹੈ - ਆਓ ਇਕੱਠੇ ਬਣਾਉਣਾ ਸ਼ੁਰੂ ਕਰੀਏ।","electron.onboarding.welcome.new.title.anon":"ਸਵਾਗਤ ਹੈ!","electron.onboarding.workspace.continue":"ਜਾਰੀ ਰੱਖੋ","electron.onboarding.workspace.empty":"ਜਾਰੀ ਰੱਖਣ ਲਈ ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","electron.onboarding.workspace.listLabel":"ਉਪਲਬਧ ਪ੍ਰੋਜੈਕਟ","electron.onboarding.workspace.loading":"ਪ੍ਰੋਜੈਕਟਾਂ ਨੂੰ ਲੋਡ ਕਰ ਰਿਹਾ ਹੈ","electron.onboarding.workspace.openFolder":"ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","electron.onboarding.workspace.selectAll":"ਸਾਰੇ ਚੁਣੋ","electron.onboarding.workspace.skip":"ਛੱਡੋ","electron.onboarding.workspace.skip.error":"ਨਵਾਂ ਪ੍ਰੋਜੈਕਟ ਨਹੀਂ ਬਣ ਸਕਿਆ: {message}","electron.onboarding.workspace.skip.error.unknown":"ਅਣਜਾਣ ਤਰੁੱਟੀ","electron.onboarding.workspace.skipping":"ਨਵਾਂ ਪ੍ਰੋਜੈਕਟ ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ...","electron.onboarding.workspace.subtitle":"Codex ਚੁਣੇ ਹੋਏ ਫੋਲਡਰਾਂ ਵਿੱਚ ਫਾਈਲਾਂ ਨੂੰ ਐਡਿਟ ਕਰਨ ਅਤੇ ਕਮਾਂਡਾਂ ਚਲਾਉਣ ਦੇ ਯੋਗ ਹੋਵੇਗਾ।","electron.onboarding.workspace.title":"ਇੱਕ ਪ੍ਰੋਜੈਕਟ ਚੁਣੋ","errorPage.list.checkSettings":"ਆਪਣੀਆਂ IDE ਸੈਟਿੰਗਾਂ ਨੂੰ ਅੱਪਡੇਟ ਕਰਨ ਦੀ ਕੋਸ਼ਿਸ਼ ਕਰੋ","errorPage.list.configToml":"ਅਵੈਧ ਸੈਟਿੰਗਾਂ ਲਈ ਆਪਣੇ config.toml ਦੀ ਜਾਂਚ ਕਰੋ","errorPage.list.downloadExtension":"ਐਕਸਟੈਂਸ਼ਨ ਦਾ ਇੱਕ ਵੱਖਰਾ ਸੰਸਕਰਣ ਡਾਊਨਲੋਡ ਕਰਨ ਦੀ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","errorPage.list.runInWsl":"ਜੇਕਰ ਤੁਹਾਨੂੰ ਅਨੁਕੂਲਤਾ ਸੰਬੰਧੀ ਸਮੱਸਿਆਵਾਂ ਦਿਖਾਈ ਦੇ ਰਹੀਆਂ ਹਨ ਤਾਂ WSL ਵਿੱਚ ਚੱਲਣਾ ਬੰਦ ਕਰਨ ਲਈ ਆਪਣੀਆਂ ਸੈਟਿੰਗਾਂ ਦੀ ਜਾਂਚ ਕਰੋ","execApprovalRequest.menu.runAlways":"ਹਾਂ, ਅਤੇ ਇਸ ਸੈਸ਼ਨ ਵਿੱਚ ਦੁਬਾਰਾ ਨਾ ਪੁੱਛਣਾ।","execApprovalRequest.menu.runAlwaysWithAmendment":"ਹਾਂ, ਅਤੇ ਉਹਨਾਂ ਕਮਾਂਡਾਂ ਲਈ ਦੁਬਾਰਾ ਨਾ ਪੁੱਛੋ ਜੋ {command} ਨਾਲ ਸ਼ੁਰੂ ਹੁੰਦੀਆਂ ਹਨ","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ਹਾਂ, ਅਤੇ ਉਹਨਾਂ ਕਮਾਂਡਾਂ ਲਈ ਦੁਬਾਰਾ ਨਾ ਪੁੱਛੋ ਜੋ ਇਸ ਨਾਲ ਸ਼ੁਰੂ ਹੁੰਦੀਆਂ ਹਨ","execApprovalRequest.menu.runOnce":"ਹਾਂ","execApprovalRequest.prompt":"ਕੀ ਤੁਸੀਂ ਇਸ ਕਮਾਂਡ ਨੂੰ ਰਨ ਕਰਨਾ ਚਾਹੁੰਦੇ ਹੋ?","execApprovalRequest.reject":"ਨਹੀਂ","execFooter.exitCode":"{code} ਕੋਡ ਤੋਂ ਬਾਹਰ ਆਓ","execFooter.exitCode.unknown":"ਅਣਜਾਣ","execFooter.success":"ਸਫਲਤਾ","feedback.dialog.category.badResult":"ਬੁਰਾ ਨਤੀਜਾ","feedback.dialog.category.bug":"ਬੱਗ","feedback.dialog.category.goodResult":"ਚੰਗਾ ਨਤੀਜਾ","feedback.dialog.category.other":"ਹੋਰ","feedback.dialog.descriptionPlaceholder":"ਇੱਥੇ ਸਮੱਸਿਆ ਦਾ ਵਰਨਣ ਕਰੋ","feedback.dialog.dismiss":"ਖਾਰਜ ਕਰੋ","feedback.dialog.includeLogsLabel":"ਮੌਜੂਦਾ Codex ਸੈਸ਼ਨ ਲੌਗਸ ਸ਼ਾਮਲ ਕਰੋ","feedback.dialog.submit":"ਜਮ੍ਹਾਂ ਕਰੋ","feedback.dialog.submitError":"ਅਸੀਂ ਤੁਹਾਡੇ ਫੀਡਬੈਕ ਨੂੰ ਦਰਜ ਨਹੀਂ ਕਰ ਸਕੇ। ਕਿਰਪਾ ਕਰਕੇ ਕੁਝ ਪਲ ਵਿੱਚ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","feedback.dialog.title":"ਫੀਡਬੈਕ","feedback.dialog.uploadedMessage.existingIssue":"ਮੌਜੂਦਾ ਅਣਸੁਲਝਿਆ ਮਸਲਾ","feedback.dialog.uploadedMessage.openIssue":"GitHub ਮੁੱਦਾ ਖੋਲ੍ਹੋ","feedback.dialog.uploadedMessage.withThread":"ਫੀਡਬੈਕ ਅੱਪਲੋਡ ਕੀਤਾ ਗਿਆ। ਜੇ ਸਮੱਸਿਆ ਬਣੀ ਰਹਿੰਦੀ ਹੈ, ਕਿਰਪਾ ਕਰਕੇ {openIssueLink} ਜਾਂ ਕਿਸੀ {existingIssueLink} ‘ਤੇ ਥ੍ਰੈਡ id ਦਾ ਜ਼ਿਕਰ ਕਰੋ।","feedback.dialog.uploadedTitle":"ਫੀਡਬੈਕ ਅੱਪਲੋਡ ਕੀਤਾ ਗਿਆ","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} ਹਟਾਉ","header.back":"ਵਾਪਸ","header.recentChats":"ਕਾਰਜ","header.recentTasks.seeAll":"ਸਭ ਦੇਖੋ ({total})","home.header.getPlus":"ਪਲੱਸ ਪ੍ਰਾਪਤ ਕਰੋ","home.hero.letsBuild":"ਆਓ ਬਣਾਈਏ","homePage.mainContent":"ਮੁੱਖ ਸਮੱਗਰੀ","imageAttachment.defaultName":"ਤਸਵੀਰ","imageAttachment.preview.close":"ਤਸਵੀਰ ਪੂਰਵ-ਝਲਕ ਬੰਦ ਕਰੋ","imageAttachment.removeAriaLabel":"{filename} ਹਟਾਉ","implementPlanRequest.option.implement":"ਹਾਂ, ਇਹ ਪਲਾਨ ਲਾਗੂ ਕਰੋ","implementPlanRequest.prompt":"ਕੀ ਇਸ ਪਲਾਨ ਨੂੰ ਲਾਗੂ ਕਰਨਾ ਹੈ?","inbox.archived.deleteError":"ਪੁਰਾਲੇਖ ਰਨ ਨੂੰ ਮਿਟਾ ਨਹੀਂ ਸਕਿਆ","inbox.archived.deleteRun":"ਪੁਰਾਲੇਖ ਰਨ ਮਿਟਾਇਆ ਗਿਆ","inbox.archived.deleteSuccess":"ਪੁਰਾਲੇਖ ਕੀਤਾ ਥ੍ਰੈਡ ਡਿਲੀਟ ਕੀਤਾ। <settingsLink>ਪੁਰਾਲੇਖ ਕੀਤੇ ਥ੍ਰੈਡਾਂ</settingsLink> ਵਿੱਚ ਦੇਖੋ।","inbox.archived.inlineLabel.auto":"ਇਹ ਥ੍ਰੈੱਡ ਆਪਣੇ ਆਪ ਪੁਰਾਲੇਖਬੱਧ ਹੋ ਗਿਆ ਸੀ। <learnMoreLink>Learn more</learnMoreLink>","inbox.archived.inlineLabel.manual":"ਇਹ ਥ੍ਰੈੱਡ ਪੁਰਾਲੇਖਬੱਧ ਕੀਤਾ ਗਿਆ ਸੀ।","inbox.archived.noMessageFound":"ਕੋਈ ਸੁਨੇਹਾ ਨਹੀਂ ਲੱਭਿਆ","inbox.automations.createError":"ਆਟੋਮੇਸ਼ਨ ਨਹੀਂ ਬਣਾ ਸਕਿਆ","inbox.automations.deleteConfirm.cancel":"ਰੱਦ ਕਰੋ","inbox.automations.deleteConfirm.confirm":"ਆਟੋਮੇਸ਼ਨ ਡਿਲੀਟ ਕਰਨੀ ਹੈ","inbox.automations.deleteConfirm.description":"ਇਹ ਆਟੋਮੇਸ਼ਨ ਨੂੰ ਸਥਾਈ ਤੌਰ 'ਤੇ ਮਿਟਾ ਦੇਵੇਗਾ ਅਤੇ ਭਵਿੱਖ ਵਿੱਚ ਹੋਣ ਵਾਲੇ ਕਿਸੇ ਵੀ ਰਨ ਨੂੰ ਰੋਕ ਦੇਵੇਗਾ।","inbox.automations.deleteConfirm.title":"{name} ਨੂੰ ਮਿਟਾਉਣਾ ਹੈ?","inbox.automations.deleteError":"ਆਟੋਮੇਸ਼ਨ ਨੂੰ ਮਿਟਾ ਨਹੀਂ ਸਕਿਆ","inbox.automations.editTooltip":"ਆਟੋਮੇਸ਼ਨ ਸੰਪਾਦਿਤ ਕਰੋ","inbox.automations.inProgress":"ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ","inbox.automations.new":"ਨਵਾਂ","inbox.automations.newToolbar":"ਨਵੀਂ ਆਟੋਮੇਸ਼ਨ","inbox.automations.pauseTooltip":"ਆਟੋਮੇਸ਼ਨ ਰੋਕੋ","inbox.automations.resumeTooltip":"ਆਟੋਮੇਸ਼ਨ ਮੁੜ-ਚਾਲੂ ਕਰੋ","inbox.automations.startingNow":"ਹੁਣ ਸ਼ੁਰੂ ਕੀਤਾ ਜਾ ਰਿਹਾ","inbox.automations.startsIn":"{startTime} ਵਿੱਚ ਸ਼ੁਰੂ ਹੋਵੇਗਾ","inbox.automations.status.active":"ਕਿਰਿਆਸ਼ੀਲ","inbox.automations.status.paused":"ਰੋਕਿਆ ਗਿਆ","inbox.automations.status.runs":"{count} ਰਨ ਕਰਦਾ ਹੈ","inbox.automations.status.started":"{date} ਸ਼ੁਰੂ ਕੀਤਾ","inbox.automations.updateError":"ਆਟੋਮੇਸ਼ਨ ਅੱਪਡੇਟ ਨਹੀਂ ਹੋ ਸਕਿਆ","inbox.automations.workspaceFallback":"-","inbox.filter.all":"ਸਾਰੇ","inbox.filter.ariaLabel":"ਇਨਬੌਕਸ ਆਈਟਮਾਂ ਫਿਲਟਰ ਕਰੋ","inbox.filter.unread":"ਅਣਪੜ੍ਹਿਆ","inbox.list.archived":"ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਗਈਆਂ","inbox.list.inProgress":"ਪ੍ਰਗਤੀ ਵਿੱਚ ਹੈ","inbox.list.recent":"ਪੂਰਾ ਹੋਇਆ","inbox.list.upNext":"ਸ਼ਡਿਊਲ ਕੀਤਾ ਗਿਆ","inbox.mode.automations":"ਆਟੋਮੇਸ਼ਨਾਂ","inbox.mode.automations.beta":"ਬੀਟਾ","inbox.noDescription":"ਕੋਈ ਵੇਰਵਾ ਮੁਹੱਈਆ ਨਹੀਂ ਕੀਤਾ","inbox.openThread":"ਥਰੈੱਡ ਖੋਲ੍ਹੋ","inbox.rightPanel.emptySubtitle":"ਸ਼ਡਿਊਲ ਕੰਮਾਂ ਨੂੰ ਸੈੱਟ ਕਰਕੇ ਕੰਮ ਨੂੰ ਸਵੈਚਾਲਿਤ ਕਰੋ","inbox.rightPanel.emptySubtitle.learnMore":"ਸ਼ਡਿਊਲ ਥ੍ਰੈਡ ਨੂੰ ਸੈੱਟ ਕਰਕੇ ਕੰਮ ਨੂੰ ਸਵੈਚਾਲਿਤ ਕਰੋ <link>ਵਧੇਰੇ ਜਾਣੋ</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# ਕਿਰਿਆਸ਼ੀਲ ਆਟੋਮੇਸ਼ਨ} other {# ਕਿਰਿਆਸ਼ੀਲ ਆਟੋਮੇਸ਼ਨਾਂ}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"ਕੋਈ ਅਣਪੜ੍ਹੀ ਆਟੋਮੇਸ਼ਨ ਨਹੀਂ","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# ਅਣਪੜ੍ਹੀ ਆਟੋਮੇਸ਼ਨ} other {# ਅਣਪੜ੍ਹੀਆਂ ਆਟੋਮੇਸ਼ਨਾਂ}}","inbox.rightPanel.emptyTitle":"ਕੋਈ ਆਈਟਮ ਨਹੀਂ ਚੁਣੀ ਗਈ","inbox.rightPanel.noThread":"ਇਸ ਆਈਟਮ ਲਈ ਕੋਈ ਥਰੈੱਡ ਨਹੀਂ","inbox.rightPanel.quickStart.header":"ਇਕ ਟੈਂਪਲੇਟ ਨਾਲ ਸ਼ੁਰੂ ਕਰੋ","inbox.untitled":"ਬਿਨ੍ਹਾਂ ਸਿਰਲੇਖ ਤੋਂ ਇਨਬੌਕਸ ਵਸਤੂ","loadingPage.documentationLink":"ਦਸਤਾਵੇਜ਼ੀਕਰਨ","loadingPage.errorDescription":"Codex ਨਿਮਨਲਿਖਤ ਤਰੁੱਟੀ ਨਾਲ ਕ੍ਰੈਸ਼ ਹੋਇਆ:","loadingPage.errorDescription.documentation":"Codex ਐਕਸਟੈਂਸ਼ਨ ਨੂੰ ਰੀਸਟਾਰਟ ਕਰਨ ਲਈ ਰੀਲੋਡ 'ਤੇ ਕਲਿੱਕ ਕਰੋ, ਜਾਂ ਵਾਧੂ ਮਦਦ ਲਈ ਸਾਡੇ {documentationLink} 'ਤੇ ਜਾਓ।","loadingPage.errorSignal":"ਅਜਮਾਉਣ ਲਈ ਕੁਝ ਚੀਜ਼ਾਂ:","loadingPage.errorTitle":"ਇੱਕ ਤਰੁੱਟੀ ਆਈ ਹੈ","loadingPage.openConfigToml":"Config.toml ਖੋਲ੍ਹੋ","loadingPage.reload":"ਦੁਬਾਰਾ ਲੋਡ ਕਰੋ","localConversation.contextCompacted":"ਸੰਦਰਭ ਆਟੋਮੈਟਿਕਲੀ ਸੁੰਘੜ ਗਿਆ ਹੈ","localConversation.contextCompacting":"ਆਟੋਮੈਟਿਕਲੀ ਸੁੰਘੜਿਆ ਹੋਇਆ ਸੰਦਰਭ","localConversation.forkedFromConversation":"{threadTitle} ਤੋਂ ਫੋਰਕ ਕੀਤਾ","localConversation.merge.autoResolve.failed":"ਆਟੋ ਰਿਜ਼ੋਲਵ ਦੀ ਬੇਨਤੀ ਕਰਨਾ ਅਸਫਲ: {error}","localConversation.merge.autoResolve.sent":"ਆਟੋ ਰਿਜ਼ੋਲਵ ਬੇਨਤੀ ਭੇਜੀ ਗਈ","localConversation.merge.autoResolveMerge.missingConversation":"ਇੱਕ ਸਰਗਰਮ ਗੱਲਬਾਤ ਤੋਂ ਬਿਨਾਂ ਸਵੈਚਲਿਤ ਹੱਲ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ।","localConversation.merge.autoResolveMerge.request":"ਮਰਜ ਵਿਵਾਦਾਂ ਨੂੰ ਆਟੋ ਰਿਜ਼ੋਲਵ ਕਰੋ","localConversation.modelChanged":"{fromModel} ਤੋਂ {toModel} ਮਾਡਲ ਬਦਲਿਆ।","localConversation.modelChanged.warning.line1":"ਗੱਲਬਾਤ ਦੇ ਵਿਚਕਾਰ ਮਾਡਲ ਬਦਲਣ ਨਾਲ ਪ੍ਰਦਰਸ਼ਨ ਘੱਟ ਜਾਵੇਗਾ।","localConversation.modelChanged.warning.line2":"ਸੰਦਰਭ ਆਟੋਮੈਟਿਕਲੀ ਸੁੰਘੜ ਸਕਦਾ ਹੈ।","localConversation.moveThread.createBranch.label":"ਸ਼ਾਖਾ ਬਣਾਉ","localConversation.moveToLocal.disabled.loading":"ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","localConversation.moveToLocal.modal.continue":"ਜਾਰੀ ਰੱਖੋ","localConversation.moveToLocal.modal.destinationLabel":"ਵੱਲ ਮੂਲ ਕਰੋ","localConversation.moveToLocal.modal.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.moveToWorktree.modal.back":"ਵਾਪਸ","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"ਸ਼ਾਖਾ ਪਹਿਲਾਂ ਹੀ ਮੌਜੂਦ ਹੈ।","localConversation.moveToWorktree.modal.branchesError":"ਸ਼ਾਖਾਵਾਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","localConversation.moveToWorktree.modal.branchesLoading":"ਬ੍ਰਾਂਚਾਂ ਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","localConversation.moveToWorktree.modal.branchesRetry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.moveToWorktree.modal.continue":"ਜਾਰੀ ਰੱਖੋ","localConversation.moveToWorktree.modal.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.moveToWorktree.modal.trailingSlashError":"ਸ਼ਾਖਾ ਨਾਮ “/” ਨਾਲ ਸਮਾਪਤ ਨਹੀਂ ਹੋ ਸਕਦਾ।","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ਨਵੀਂ-ਸ਼ਾਖਾ","localConversation.personalityChanged":"{personality} ਵਿਅਕਤੀਤਤਵ ਵਿੱਚ ਸਵਿੱਚ ਕੀਤਾ ਗਿਆ","localConversation.planSummary.collapse":"ਪਲਾਨ ਦਾ ਸਾਰ ਸੰਕੁਚਿਤ ਕਰੋ","localConversation.planSummary.collapseTooltip":"ਸੰਕੁਚਿਤ ਕਰੋ","localConversation.planSummary.download":"ਪਲਾਨ ਡਾਊਨਲੋਡ ਕਰੋ","localConversation.planSummary.expand":"ਪਲਾਨ ਦਾ ਸਾਰ ਵਧਾਓ","localConversation.planSummary.expandTooltip":"ਵਧਾਓ","localConversation.planSummary.openInNewWindow":"ਖੋਲ੍ਹੋ","localConversation.planSummary.openInNewWindow.tooltip":"ਨਵੀਂ ਵਿੰਡੋ ਵਿੱਚ ਖੋਲ੍ਹੋ","localConversation.planSummary.title":"ਯੋਜਨਾ","localConversation.planSummary.titleWriting":"ਲਿਖਤ ਪਲਾਨ","localConversation.planSummary.viewPlan":"ਪਲਾਨ ਨੂੰ ਵਧਾਓ","localConversation.remoteTaskCreated":"Codex ਕਲਾਊਡ ਵਿੱਚ {taskLink} ਬਣਾਇਆ ਗਿਆ","localConversation.remoteTaskCreated.task":"ਕਾਰਜ","localConversation.scrollToBottomButton":"ਬਿਲਕੁਲ ਨੀਚੇ ਸਕ੍ਰੋਲ ਕਰੋ","localConversation.sync.buttonLabel":"ਸਥਾਨਕ ਨੂੰ ਸੌਂਪ ਦਿਓ","localConversation.sync.buttonLabel.tooltip":"ਇਸ ਵਰਕਟਰੀ ਅਤੇ ਆਪਣੇ ਸਥਾਨਕ ਚੈੱਕਆਉਟ ਵਿਚਕਾਰ ਬਦਲਾਅ ਨੂੰ ਹੱਥ ਵਿੱਚ ਫੜੋ।","localConversation.sync.modal.loading.title":"ਬਦਲਾਵਾਂ ਨੂੰ ਵੰਡਿਆ ਜਾ ਰਿਹਾ ਹੈ...","localConversation.sync.modal.noChanges":"ਕੋਈ ਬਦਲਾਅ ਨਹੀਂ","localConversation.syncSetup.branchAriaLabel":"ਸ਼ਾਖਾ ਨਾਮ","localConversation.syncSetup.branchName":"ਸ਼ਾਖਾ ਨਾਮ","localConversation.syncSetup.branchPlaceholder.existing":"ਮੌਜੂਦਾ ਸ਼ਾਖਾ ਚੁਣੋ","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"ਬ੍ਰਾਂਚਾਂ ਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ਪਹਿਲਾਂ ਹੀ ਚੈੱਕ ਆਊਟ ਕੀਤਾ ਗਿਆ","localConversation.syncSetup.checkoutClean":"ਮੌਜੂਦਾ {branchName} ’ਤੇ","localConversation.syncSetup.checkoutDirty":"ਇਸ ਸਮੇਂ ਅਣ-ਕਮਿੱਟ ਕੀਤੇ ਬਦਲਾਵਾਂ ਨਾਲ {branchName} ‘ਤੇ","localConversation.syncSetup.checkoutError":"ਬ੍ਰਾਂਚ ਦੀ ਜਾਂਚ ਕਰਨ ਵਿੱਚ ਅਸਫਲ:{message}","localConversation.syncSetup.checkoutLabel":"ਹੁਣ ਲੋਕਲੀ ਚੈੱਕ ਆਊਟ ਕਰੋ","localConversation.syncSetup.checkoutOnLocal":"ਸਥਾਨਕ ਨੂੰ ਸੌਂਪ ਦਿਓ","localConversation.syncSetup.checkoutPending":"ਲੋਕਲ ਸਥਿਤੀ ਦੀ ਚੈਕਿੰਗ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ...","localConversation.syncSetup.checkoutUnavailable":"ਲੋਕਲ ਵਰਕਸਪੇਸ ਉਪਲਬਧ ਨਹੀਂ","localConversation.syncSetup.checkoutUnknown":"ਲੋਕਲ ਬ੍ਰਾਂਚ ਅਣ-ਉਪਲਬਧ","localConversation.syncSetup.continue":"ਜਾਰੀ ਰੱਖੋ","localConversation.syncSetup.createBranchError":"ਹੈਂਡਆਫ ਸ਼ਾਖਾ ਸੈੱਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {message}","localConversation.syncSetup.error":"ਕੁਝ ਗੜਬੜ ਹੋਈ ਹੈ...{message}","localConversation.syncSetup.error.workingTreeMissing":"ਵਰਕਟਰੀ ਦਾ ਸਨੈਪਸ਼ਾਟ ਨਹੀਂ ਲਿਆ ਜਾ ਸਕਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਦੇਣ ਦੀ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncSetup.mode.ariaLabel":"ਬ੍ਰਾਂਚ ਮੋਡ ਚੁਣੋ","localConversation.syncSetup.mode.existing":"ਮੌਜੂਦਾ ਬ੍ਰਾਂਚ","localConversation.syncSetup.mode.new":"ਨਵੀਂ ਬ੍ਰਾਂਚ","localConversation.syncSetup.noBranches":"ਕੋਈ ਬ੍ਰਾਂਚਾਂ ਨਹੀਂ ਲੱਭੀਆਂ","localConversation.syncSetup.overwriteError":"ਸ਼ਾਖਾ ਬਣਾਈ ਗਈ ਸੀ ਪਰ ਪੂਰੀ ਤਰ੍ਹਾਂ ਨਹੀਂ ਦਿੱਤੀ ਗਈ। ਸਥਾਨਕ ਤੌਰ 'ਤੇ ਚੈੱਕ ਆਊਟ ਕਰਨ ਤੋਂ ਪਹਿਲਾਂ ਹੱਥੀਂ ਦੇ ਦਿਓ।","localConversation.syncSetup.setPrefix":"ਪ੍ਰੀਫਿਕਸ ਸੈੱਟ ਕਰੋ","localConversation.syncSetup.subtitle":"ਵਰਟਰੀ ਬਦਲਾਅ ਸਥਾਨਕ ਟੈਸਟ ਅਤੇ ਸੰਪਾਦਿਤ ਕਰੋ।<a>ਹੋਰ ਵਧੇਰੇ ਜਾਣੋ</a>","localConversation.syncSetup.success.checkedOut":"ਬ੍ਰਾਂਚ ਬਣਾ ਦਿੱਤੀ ਗਈ ਸੀ ਅਤੇ ਲੋਕਲੀ ਚੈੱਕ ਕੀਤੀ ਗਈ ਸੀ","localConversation.syncSetup.success.notCheckedOut":"ਸ਼ਾਖਾ ਬਣਾਈ ਗਈ","localConversation.syncSetup.title":"ਸਥਾਨਕ ਸ਼ਾਖਾ ਨੂੰ ਸੌਂਪ ਦਿਓ","localConversation.syncWorktreeError.branchAriaLabel":"ਸ਼ਾਖਾ ਨਾਮ","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"ਦੇਣ ਲਈ ਇੱਕ ਸ਼ਾਖਾ ਚੁਣੋ, ਫਿਰ ਤਬਦੀਲੀਆਂ ਨੂੰ ਲੋਡ ਕਰਨ ਦੀ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeError.branchSetup.title":"ਬ੍ਰਾਂਚ ਅੱਪਡੇਟ ਕਰੋ","localConversation.syncWorktreeError.branchUpdate.cta":"ਅੱਪਡੇਟ ਕਰੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.syncWorktreeError.branchUpdate.error":"ਸ਼ਾਖਾ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"ਕੁਝ ਗੜਬੜ ਹੋਈ ਹੈ...{message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ਕਿਸੇ ਵੀ ਵਰਕਟਰੀ ਵਿੱਚ ਸ਼ਾਖਾ ਦੀ ਜਾਂਚ ਨਹੀਂ ਕੀਤੀ ਜਾਂਦੀ।","localConversation.syncWorktreeV2.applyUncommitted":"ਲਾਗੂ ਕਰੋ","localConversation.syncWorktreeV2.applyUncommitted.disabled":"ਅਣ-ਕਮਿੱਟ ਕੀਤੇ ਬਦਲਾਵ ਲਾਗੂ ਕਰਨ ਲਈ ਤੁਹਾਡਾ ਆਪਣੀ ਬ੍ਰਾਂਚ ਤੇ ਲੋਕਲੀ ਚੈੱਕ ਆਊਟ ਕਰਨਾ ਲਾਜ਼ਮੀ ਹੈ।","localConversation.syncWorktreeV2.branches.empty":"ਕੋਈ ਬ੍ਰਾਂਚਾਂ ਨਹੀਂ ਲੱਭੀਆਂ","localConversation.syncWorktreeV2.branches.loading":"ਬ੍ਰਾਂਚਾਂ ਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"ਹੈਂਡਆਫ ਸ਼ਾਖਾ ਬਦਲੋ","localConversation.syncWorktreeV2.changeBranch.error":"ਹੈਂਡਆਫ ਸ਼ਾਖਾ ਨੂੰ ਬਦਲਣ ਵਿੱਚ ਅਸਫਲ: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"ਲਾਗੂ ਕਰਨਾ ਅਸਫਲ","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"ਵਰਕਟਰੀ ਦਾ ਮੁੜ-ਬਦਲਾਅ ਅਸਫਲ","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"ਲੋਕਲ ਮੁੜ-ਬਦਲਾਅ ਅਸਫਲ","localConversation.syncWorktreeV2.commandError.back":"ਵਾਪਸ","localConversation.syncWorktreeV2.commandError.body":"ਇੱਕ git ਕਮਾਂਡ ਦੇਣ ਵੇਲੇ ਅਸਫਲ ਰਹੀ। ਆਉਟਪੁੱਟ ਦੀ ਸਮੀਖਿਆ ਕਰੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeV2.commandError.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.syncWorktreeV2.description":"ਲੋਕਲ ਅਤੇ ਇਸ ਵਰਕਟਰੀ ਵਿਚਕਾਰ ਬਦਲਾਅ ਨੂੰ ਹੱਥ ਨਾਲ ਕਰੋ <a>ਹੋਰ ਜਾਣੋ</a>।","localConversation.syncWorktreeV2.direction.ariaLabel":"ਹੈਂਡਆਫ ਦਿਸ਼ਾ ਚੁਣੋ","localConversation.syncWorktreeV2.error.generic":"ਹੈਂਡਆਫ ਕਰਨ ਵੇਲੇ ਕੁਝ ਗੜਬੜ ਹੋਈ ਹੈ। ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeV2.localBranchLabel":"ਲੋਕਲ","localConversation.syncWorktreeV2.noChanges":"ਬਦਲਾਵਾਂ ਦੀ ਗਣਨਾ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ","localConversation.syncWorktreeV2.noChanges.summary":"ਕੋਈ ਬਦਲਾਅ ਨਹੀਂ","localConversation.syncWorktreeV2.overwrite.local":"ਲੋਕਲ ਦਾ ਮੁੜ-ਬਦਲਾਅ ਕਰੋ","localConversation.syncWorktreeV2.overwrite.worktree":"ਵਰਕਟਰੀ ਨੂੰ ਮੁੜ-ਬਦਲੋ","localConversation.syncWorktreeV2.partial.action.applyFailed":"ਬਦਲਾਅ ਲਾਗੂ ਨਹੀਂ ਕੀਤੇ ਜਾ ਸਕੇ","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ਸਥਾਨਕ ਦਾ ਮੁੜ-ਬਦਲਾਅ ਨਹੀਂ ਕੀਤਾ ਜਾ ਸਕਦਾ","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ਸਥਾਨਕ ਦਾ ਮੁੜ-ਬਦਲਾਅ ਨਹੀਂ ਕੀਤਾ ਜਾ ਸਕਦਾ","localConversation.syncWorktreeV2.partial.appliedLabel":"ਲਾਗੂ ਕੀਤੇ","localConversation.syncWorktreeV2.partial.back":"ਵਾਪਸ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"ਵਿਵਾਦਾਂ ਨੂੰ ਹੱਲ ਕਰੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeV2.partial.conflictsLabel":"ਟਕਰਾਅ","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}}","localConversation.syncWorktreeV2.partial.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.syncWorktreeV2.partial.skippedLabel":"ਸਕਿੱਪ ਕੀਤਾ","localConversation.syncWorktreeV2.stateFailed.generic":"ਵਰਕਟਰੀ ਬਦਲਾਅ ਸੌਂਪਣ ਵੇਲੇ ਕੁਝ ਗਲਤ ਹੋ ਗਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeV2.stateFailed.title":"ਵਰਕਟਰੀ ਬਦਲਾਅ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","localConversation.syncWorktreeV2.statusError.diffUnknown":"ਵਰਕਟਰੀ ਬਦਲਾਅ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","localConversation.syncWorktreeV2.statusError.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversation.syncWorktreeV2.statusError.title":"ਸਥਾਨਕ ਸ਼ਾਖਾ ਤਬਦੀਲੀਆਂ ਨੂੰ ਲੋਡ ਕਰਨ ਵਿੱਚ ਅਸਮਰੱਥ","localConversation.syncWorktreeV2.statusError.unknown":"ਬ੍ਰਾਂਚ ਸਥਿਤੀ ਇਸ ਵੇਲੇ ਉਪਲਬਧ ਨਹੀਂ ਹੈ। ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","localConversation.syncWorktreeV2.success.apply":"ਬਦਲਾਅ ਸਫਲਤਾਪੂਰਵਕ ਲਾਗੂ ਕੀਤੇ ਗਏ","localConversation.syncWorktreeV2.success.overwrite":"ਹੈਂਡਆਫ ਸਫਲ ਰਿਹਾ","localConversation.syncWorktreeV2.title":"ਬਦਲਾਵਾਂ ਨੂੰ ਵੰਡਿਆ ਜਾ ਰਿਹਾ ਹੈ...","localConversation.syncWorktreeV2.worktreeLabel":"ਵਰਕਟਰੀ","localConversation.userInputRequest.inProgress":"ਪੁੱਛ ਰਿਹਾ ਹੈ {count, plural, one {ਸਵਾਲ} other {ਸਵਾਲ}}","localConversation.userInputRequest.noAnswer":"ਕੋਈ ਜਵਾਬ ਪ੍ਰਦਾਨ ਨਹੀਂ ਕੀਤਾ ਗਿਆ","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"ਪੁੱਛਿਆ ਗਿਆ","localConversation.userInputRequest.summary.count":"{count, plural, one {# ਸਵਾਲ} other {# ਸਵਾਲ}}","localConversation.workedFor":"{time} ਲਈ ਕੰਮ ਕੀਤਾ ਗਿਆ","localConversation.worktreeBranchSetup.action.create":"ਬਣਾਉ","localConversation.worktreeBranchSetup.branchAriaLabel":"ਸ਼ਾਖਾ ਨਾਮ","localConversation.worktreeBranchSetup.branchPlaceholder.new":"ਇੱਕ ਨਵੀਂ ਬ੍ਰਾਂਚ ਬਣਾਓ","localConversation.worktreeBranchSetup.checkoutDisabled":"ਇਸ ਸ਼ਾਖਾ {location} ‘ਤੇ ਪਹਿਲਾਂ ਤੋਂ ਹੀ ਚੈੱਕ ਆਊਟ ਹੈ","localConversation.worktreeBranchSetup.checkoutError":"ਬ੍ਰਾਂਚ ਦੀ ਜਾਂਚ ਕਰਨ ਵਿੱਚ ਅਸਫਲ:{message}","localConversation.worktreeBranchSetup.createBranchError":"ਸ਼ਾਖਾ ਸੈੱਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {message}","localConversation.worktreeBranchSetup.error":"ਕੁਝ ਗੜਬੜ ਹੋਈ ਹੈ...{message}","localConversation.worktreeBranchSetup.subtitle":"ਇਸ ਵਰਕਟਰੀ ਤੋਂ ਬਦਲਾਅ ਕਰਨ, ਅੱਗੇ ਵਧਾਉਣ ਅਤੇ ਇੱਕ PR ਬਣਾਉਣ ਲਈ ਇੱਕ ਸ਼ਾਖਾ ਬਣਾਓ। <a>ਹੋਰ ਜਾਣੋ</a>","localConversation.worktreeBranchSetup.title":"ਇੱਥੇ ਕੰਮ ਕਰੋ","localConversationPage.addWorktreeToSidebar.tooltip":"ਪ੍ਰੋਜੈਕਟ ਵਜੋਂ ਸੁਰੱਖਿਅਤ ਕਰੋ ਜੋ ਤੁਸੀਂ ਇਸ ਵਰਕਟਰੀ ਵਿੱਚੋਂ ਨਵੇਂ ਥ੍ਰੈੱਡਾਂ ਨੂੰ ਸ਼ੁਰੂ ਕਰ ਸਕੋ।","localConversationPage.addWorktreeToSidebarError":"ਪ੍ਰੋਜੈਕਟ ਜੋੜਨ ਵਿੱਚ ਅਸਫਲ","localConversationPage.commitAndCreatePrModal.errorTitle":"ਕਮਿੱਟ ਅਤੇ PR ਬਣਾਉਣਾ ਅਸਫਲ","localConversationPage.commitAndCreatePrModal.successTitle":"ਕਮਿੱਟ ਕੀਤਾ ਅਤੇ PR ਬਣਾਇਆ","localConversationPage.commitAndPushModal.errorTitle":"ਕਮਿੱਟ ਅਤੇ ਪੁਸ਼ ਅਸਫਲ","localConversationPage.commitAndPushModal.successTitle":"ਕਮਿੱਟ ਕੀਤਾ ਅਤੇ ਬਦਲਾਅ ਪੁਸ਼ ਕੀਤੇ","localConversationPage.commitCreatePr.open":"ਪੁੱਲ ਬੇਨਤੀ ਖੋਲ੍ਹੋ","localConversationPage.commitCreatePr.successTitle":"ਤੁਹਾਡੇ ਨਵੀਨਮਤ ਬਦਲਾਵਾਂ ਨਾਲ PR ਬਣਾਏ","localConversationPage.createBranchButtonLabel":"ਸ਼ਾਖਾ ਇੱਥੇ ਹੈ","localConversationPage.createPrModal.baseBranch":"ਬੇਸ","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR ਬਣਾਓ","localConversationPage.createPrModal.createDescription":"ਆਪਣੇ ਨਵੀਨਤਮ ਬਦਲਾਵਾਂ ਲਈ ਇੱਕ ਪੁੱਲ ਬੇਨਤੀ ਖੋਲ੍ਹੋ।","localConversationPage.createPrModal.errorTitle":"ਪੁੱਲ ਬੇਨਤੀ ਅਸਫਲ","localConversationPage.createPrModal.headBranch":"ਹੈੱਡ","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR ਖੋਲ੍ਹੋ","localConversationPage.createPrModal.successTitle":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ ਕੀਤੀ","localConversationPage.createPrModal.title":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ ਕਰੋ","localConversationPage.createPrModal.viewDescription":"ਇਸ ਸ਼ਾਖਾ ਲਈ ਇੱਕ ਪੁੱਲ ਬੇਨਤੀ ਪਹਿਲਾਂ ਹੀ ਮੌਜੂਦ ਹੈ।","localConversationPage.createPrModal.viewTitle":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ","localConversationPage.createPullRequestAuthGh":"GitHub CLI ਦਾ ਪ੍ਰਮਾਣੀਕਰਨ ਕਰੋ: `gh auth login` ਰਨ ਕਰੋ","localConversationPage.createPullRequestBranchMissing":"ਸ਼ਾਖਾ ਜਾਣਕਾਰੀ ਅਣਉਪਲਬਧ","localConversationPage.createPullRequestButtonLabel":"PR ਬਣਾਓ","localConversationPage.createPullRequestButtonLabel.loading":"PR ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ...","localConversationPage.createPullRequestDefaultBranchMissing":"ਡੀਫਾਲਟ ਸ਼ਾਖਾ ਜਾਣਕਾਰੀ ਅਣਉਪਲਬਧ","localConversationPage.createPullRequestError":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","localConversationPage.createPullRequestExistingPullRequest":"ਇਸ ਸ਼ਾਖਾ ਲਈ ਇੱਕ ਪੁੱਲ ਬੇਨਤੀ ਪਹਿਲੀਆਂ ਹੀ ਮੌਜੂਦ ਹੈ","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI ਸਥਿਤੀ ਨੂੰ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ…","localConversationPage.createPullRequestInstallGh":"PRs ਬਣਾਉਣ ਲਈ GitHub CLI (gh) ਨੂੰ ਸਥਾਪਿਤ ਕਰੋ","localConversationPage.createPullRequestNoRepo":"ਕੋਈ git ਰੀਪੌਜ਼ੀਟਰੀ ਨਹੀਂ ਲੱਭੀ","localConversationPage.createPullRequestPushStatusMissing":"ਪੁਸ਼ ਸਥਿਤੀ ਨੂੰ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ...","localConversationPage.createPullRequestSetUpstream":"PR ਬਣਾਉਣ ਪਹਿਲਾਂ ਇਸ ਸ਼ਾਖਾ ਨੂੰ ਪੁਸ਼ ਕਰੋ","localConversationPage.createPullRequestSuccessToast":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ ਕੀਤੀ","localConversationPage.createPullRequestSwitchBranch":"PR ਬਣਾਉਣ ਪਹਿਲਾਂ ਫੀਚਰ ਸ਼ਾਖਾ ਨੂੰ ਚੈੱਕਾਉਟ ਕਰੋ","localConversationPage.error.render":"ਲੋਕਲ ਗੱਲਬਾਤ ਰੈਂਡਰ ਕਰਨ ਵਿੱਚ ਤਰੁੱਟੀ","localConversationPage.error.toast":"ਗੱਲਬਾਤ ਨਹੀਂ ਮਿਲੀ","localConversationPage.forcePushError":"ਫੋਰਸ ਪੁਸ਼ ਅਸਫਲ","localConversationPage.generatePullRequestMessageError":"ਪੁੱਲ ਬੇਨਤੀ ਸਿਰਲੇਖ ਅਤੇ ਮੁੱਖ ਭਾਗ ਤਿਆਰ ਕਰਨ ਵਿੱਚ ਅਸਫਲ ਰਿਹਾ","localConversationPage.generatePullRequestMessageFailed":"ਪੁੱਲ ਬੇਨਤੀ ਸਿਰਲੇਖ ਅਤੇ ਮੁੱਖ ਭਾਗ ਤਿਆਰ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","localConversationPage.gitActionResult.branch":"ਸ਼ਾਖਾ","localConversationPage.gitActionResult.cancel":"ਰੱਦ ਕਰੋ","localConversationPage.gitActionResult.close":"ਬੰਦ ਕਰੋ","localConversationPage.gitActionResult.tryAgain":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversationPage.gitActions":"Git ਕਾਰਵਾਈਆਂ","localConversationPage.newChat":"ਨਵੀਂ ਚੈਟ","localConversationPage.openInTarget":"ਇਸ ਵਿੱਚ ਖੋਲ੍ਹੋ","localConversationPage.openPrimaryTarget":"ਖੋਲ੍ਹੋ","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# ਕਾਰਜ ਪੂਰਾ ਹੋਇਆ} other {# ਕਾਰਜ ਪੂਰੇ ਹੋਏ}} ਵਿੱਚੋਂ {completedItems}","localConversationPage.pushAuthError":"ਪੁਸ਼ ਅਸਫ਼ਲ: ਪ੍ਰਮਾਣੀਕਰਨ ਲੋੜੀਂਦਾ ਹੈ","localConversationPage.pushBranchMissing":"ਸ਼ਾਖਾ ਜਾਣਕਾਰੀ ਅਣਉਪਲਬਧ","localConversationPage.pushButtonLabel":"ਪੁਸ਼","localConversationPage.pushButtonLabel.loading":"ਪੁਸ਼ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ...","localConversationPage.pushError":"ਪੁੱਸ਼ ਬਦਲਾਅ ਪੁੱਸ਼ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","localConversationPage.pushModal.branchLabel":"ਸ਼ਾਖਾ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"ਰੱਦ ਕਰੋ","localConversationPage.pushModal.confirm":"ਪੁਸ਼","localConversationPage.pushModal.description":"ਰੀਮੋਟ ਰੀਪੌਜ਼ੀਟਰੀ ’ਤੇ ਆਪਣੇ ਨਵੀਨਤਮ ਕਮਿੱਟ ਪੁਸ਼ ਕਰੋ।","localConversationPage.pushModal.errorTitle":"ਪੁਸ਼ ਅਸਫਲ","localConversationPage.pushModal.forcePush":"ਫੋਰਸ ਪੁਸ਼","localConversationPage.pushModal.successTitle":"ਪੁਸ਼ ਪੂਰਾ ਹੋਇਆ","localConversationPage.pushModal.title":"ਪੁਸ਼ ਬਦਲਾਅ","localConversationPage.pushModal.tryAgain":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","localConversationPage.pushNoUpstream":"ਇਸ ਸ਼ਾਖਾ ਨੂੰ ਪੁਸ਼ ਕਰਨ ਪਹਿਲਾਂ ਅੱਪਸਟ੍ਰੀਮ ਸੈੱਟ ਕਰੋ","localConversationPage.pushNoUpstreamError":"ਪੁਸ਼ ਅਸਫਲ: ਕੋਈ ਅੱਪਸਟ੍ਰੀਮ ਕੌਨਫਿਗਰ ਨਹੀਂ","localConversationPage.pushNothingToPush":"ਪੁੱਸ਼ ਕਰਨ ਲਈ ਕੋਈ ਨਵੀਂ ਕੌਮਿੱਟ ਨਹੀਂ","localConversationPage.pushRemoteChangedError":"ਪੁਸ਼ ਅਸਫਲ: ਰਿਮੋਟ ਕੋਲ ਕੋਈ ਕਮਿੱਟ ਨਹੀਂ ਹਨ","localConversationPage.pushRemoteRejectedError":"ਰਿਮੋਟ ਰਾਹੀਂ ਅਸਵੀਕਾਰ ਹੋਏ ਪੁਸ਼","localConversationPage.pushStatusMissing":"ਪੁਸ਼ ਸਥਿਤੀ ਨੂੰ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ...","localConversationPage.pushSuccessToast":"ਪੁਸ਼ ਕੀਤੇ ਬਦਲਾਅ","localConversationPage.viewPullRequestButtonLabel":"PR ਦੇਖੋ","localConversationPage.viewPullRequestButtonLabel.loading":"ਪੁੱਲ ਬੇਨਤੀ ਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# ਸੂਚੀ} other {# ਸੂਚੀ}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# ਖੋਜ} other {# ਖੋਜਾਂ}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"ਐਕਸਪਲੋਰ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"ਐਕਸਪਲੋਰ ਕੀਤਾ","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} ਐਕਸਪਲੋਰ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","localConversationTurnStory.showContent":"ਕੰਟੈਂਟ ਦਿਖਾਓ","localConversationTurnStory.streamContent":"ਕੰਟੈਂਟ ਸਟ੍ਰੀਮ ਕਰੋ","localConversationTurnStory.toggleReasoning":"ਤਰਕਸ਼ਕਤੀ ਦਿਖਾਓ","localTaskRow.archiveError":"ਗੱਲਬਾਤ ਪੁਰਾਲੇਖ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","localTaskRow.resumeError":"ਕਾਰਜ ਮੁੜ-ਚਾਲੂ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","mermaidDiagram.ariaLabel":"ਮਰਮੇਡ ਚਿੱਤਰ","mermaidDiagram.copySource":"ਮਰਮੇਡ ਕਾਪੀ ਕਰੋ","mermaidDiagram.originalCode":"ਮਰਮੇਡ ਸ੍ਰੋਤ ਕੋਡ","notifications.permissions.description":"ਜਿਸ ਸਮੇਂ ਸੂਚਨਾ ਇਜਾਜ਼ਤਾਂ ਲੋੜੀਂਦੀਆਂ ਹੋਣ ਤਾਂ ਅਲਰਟ ਦਿਖਾਉ","notifications.permissions.label":"ਇਜਾਜ਼ਤ ਸੂਚਨਾਵਾਂ ਸਮਰੱਥਿਤ ਕਰੋ","notifications.turnMode.always":"ਹਮੇਸ਼ਾ","notifications.turnMode.description":"ਸੈੱਟ ਕਰੋ ਜਦੋਂ ਕੋਡੈਕਸ ਤੁਹਾਨੂੰ ਸੁਚੇਤ ਕਰੇ ਕਿ ਇਹ ਪੂਰਾ ਹੋ ਗਿਆ ਹੈ","notifications.turnMode.label":"ਸੰਪੰਨ ਬਾਬਤ ਸੂਚਨਾਵਾਂ ਬਦਲੋ","notifications.turnMode.off":"ਕਦੇ ਨਹੀਂ","notifications.turnMode.unfocused":"ਕੇਵਲ ਜਦੋਂ ਬੇਧਿਆਨ ਹੋਵੇ","patchApprovalRequest.approve":"ਮਨਜ਼ੂਰ ਕਰੋ","patchApprovalRequest.menu.allowAlways":"ਹਾਂ, ਅਤੇ ਇਸ ਸੈਸ਼ਨ ਵਿੱਚ ਦੁਬਾਰਾ ਨਾ ਪੁੱਛਣਾ।","patchApprovalRequest.menu.allowForSession":"ਹਾਂ, ਅਤੇ ਇਸ ਸੈਸ਼ਨ ਵਿੱਚ ਦੁਬਾਰਾ ਨਾ ਪੁੱਛਣਾ।","patchApprovalRequest.menu.allowOnce":"ਹਾਂ","patchApprovalRequest.prompt":"ਕੀ ਤੁਸੀਂ ਇਹ ਬਦਲਾਅ ਕਰਨਾ ਚਾਹੁੰਦੇ ਹੋ?","patchApprovalRequest.reject":"ਨਹੀਂ","patchApprovalRequest.waitingForApproval":"ਇਨ੍ਹਾਂ ਫਾਈਲਾਂ ਨੂੰ ਐਡਿਟ ਕਰਨ ਲਈ ਮਨਜ਼ੂਰੀ ਦੀ ਉਡੀਕ ਵਿੱਚ","pendingRequest.approvalExec.collapse":"ਸੰਕੁਚਿਤ ਕਰੋ","pendingRequest.approvalExec.expand":"ਵਧਾਓ","pendingRequestStory.toastAnswer":"ਜਵਾਬ: {answer}","pendingRequestStory.toastApprovalTitle":"ਮਨਜੂਰੀ ਅਧੀਨ ਜਵਾਬ","pendingRequestStory.toastFollowupPrompt":"ਪ੍ਰੌਂਪਟ: {prompt}","pendingRequestStory.toastFollowupTitle":"ਫਾਲੋ-ਅੱਪ ਭੇਜਿਆ ਗਿਆ","pendingRequestStory.toastNoAnswers":"ਕੋਈ ਜਵਾਬ ਪ੍ਰਦਾਨ ਨਹੀਂ ਕੀਤੇ ਗਏ","pendingRequestStory.toastQuestion":"ਸਵਾਲ: {question}","pendingRequestStory.toastUnknownDecision":"ਅਣਜਾਣ","pendingRequestStory.toastUserInputTitle":"ਸਪੁਰਦ ਕੀਤੇ ਜਵਾਬ","quickAction.request.codeReview.branches.new":"ਕਿਰਪਾ ਕਰਕੇ {to}ਵਿਰੁੱਧ ਬਦਲਾਵਾਂ ਦੀ {from} ’ਤੇ ਸਮੀਖਿਆ ਕਰੋ","quickAction.request.codeReview.uncommitted.new":"ਕਿਰਪਾ ਕਰਕੇ ਮੇਰੇ ਅਣ-ਕਮਿੱਟ ਬਦਲਾਵਾਂ ਦੀ ਸਮੀਖਿਆ ਕਰੋ","reasoningItem.thinking":"ਸੋਚ ਰਿਹਾ ਹੈ","reasoningItem.thought":"ਵਿਚਾਰ","reasoningItem.thoughtWithElapsed":"{elapsed} ਲਈ ਵਿਚਾਰ","recentConversations.title":"ਹਾਲੀਆ ਗੱਲਬਾਤ","recentTasks.worktreeInitFailedTitle":"ਵਰਕਟਰੀ ਇਨਿਟ ਅਸਫਲ","recentTasks.worktreeSettingUpTitle":"ਵਰਕਟਰੀ ਨੂੰ ਸੈੱਟ ਅੱਪ ਕਰਨਾ","requestInputPanel.continue":"ਜਾਰੀ ਰੱਖੋ","requestInputPanel.dismiss":"ਖਾਰਜ ਕਰੋ","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ਇੱਥੇ ਟਾਈਪ ਕਰੋ","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"ਨਹੀਂ ਅਤੇ ਕੋਡੈਕਸ ਨੂੰ ਵੱਖਰੇ ਢੰਗ ਨਾਲ ਜੋ ਕਰਨਾ ਹੈ, ਉਸ ਬਾਰੇ ਦੱਸੋ।","requestInputPanel.selectedBadge":"ਚੁਣੇ ਗਏ","requestInputPanel.skip":"ਛੱਡੋ","requestInputPanel.submit":"ਜਮ੍ਹਾਂ ਕਰੋ","review.commit.ariaLabel.includeUnstaged":"ਸਟੇਜ ਨਾ ਕੀਤੇ ਸ਼ਾਮਲ ਹਨ","review.commit.buttonLabel":"ਵਚਨਬੱਧਤਾ","review.commit.disabled.committing":"ਕਮਿੱਟ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ...","review.commit.disabled.loadingDiff":"ਡਿਫ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","review.commit.disabled.missingContext":"ਇੱਕ ਵਚਨਬੱਧ ਸੁਨੇਹਾ ਤਿਆਰ ਕਰਨ ਲਈ ਕੁਝ ਸੰਦਰਭ ਸ਼ਾਮਲ ਕਰੋ","review.commit.disabled.noChanges":"ਕਮਿੱਟ ਕਰਨ ਲਈ ਕੋਈ ਬਦਲਾਅ ਨਹੀਂ","review.commit.disabled.noSelection":"ਕਮਿੱਟ ਕਰਨ ਲਈ ਬਦਲਾਅ ਚੁਣੋ","review.commit.disabled.unavailable":"ਇਸ ਵੇਲੇ ਕਮਿੱਟ ਉਪਲਬਧ ਨਹੀਂ ਹੈ।","review.commit.error":"ਬਦਲਾਅ ਕਮਿੱਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","review.commit.form.changesToBeCommitted":"ਬਦਲਾਅ","review.commit.form.commitTo":"ਸ਼ਾਖਾ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"ਜਾਰੀ ਰੱਖੋ","review.commit.form.title":"ਆਪਣੇ ਬਦਲਾਅ ਲਾਗੂ ਕਰੋ","review.commit.generate.emptyResponse":"ਇੱਕ ਵਚਨਬੱਧ ਸੁਨੇਹਾ ਤਿਆਰ ਨਹੀਂ ਕੀਤਾ ਜਾ ਸਕਿਆ।","review.commit.generate.failed":"ਕਮਿਟ ਸੁਨੇਹਾ ਤਿਆਰ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {error}","review.commit.generate.missingPrompt":"ਇੱਕ ਕਮਿਟ ਸੁਨੇਹਾ ਤਿਆਰ ਕਰਨ ਲਈ ਕੁਝ ਸੰਦਰਭ ਜੋੜੋ।","review.commit.includeUnstaged":"ਸਟੇਜ ਨਾ ਕੀਤੇ ਸ਼ਾਮਲ ਹਨ","review.commit.loading.description":"ਬਣੇ ਰਹੋ, ਇਸ ਵਿੱਚ ਚੰਦ ਪਲ ਲੱਗ ਸਕਦੇ ਹਨ...","review.commit.loading.step.commit.done":"ਕਮਿੱਟ ਕੀਤੇ ਬਦਲਾਅ","review.commit.loading.step.commit.pending":"ਬਦਲਾਅ ਕਮਿੱਟ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ","review.commit.loading.step.createPr.done":"ਪੁੱਲ ਬੇਨਤੀ ਤਿਆਰ ਕੀਤੀ ਗਈ","review.commit.loading.step.createPr.pending":"ਪੁੱਲ ਬੇਨਤੀ ਬਣਾਈ ਜਾ ਰਹੀ ਹੈ","review.commit.loading.step.push.done":"{branch} ਸ਼ਾਖਾ ’ਤੇ ਪੁਸ਼ ਕੀਤਾ","review.commit.loading.step.push.pending":"{branch} ’ਤੇ ਪੁਸ਼ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","review.commit.loading.title.commit":"ਬਦਲਾਅ ਕਮਿੱਟ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ","review.commit.loading.title.createPr":"PR ਬਣਾਈ ਜਾ ਰਹੀ ਹੈ","review.commit.loading.title.push":"ਬਦਲਾਅ ਪੁਸ਼ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ","review.commit.messageLabel":"ਸੁਨੇਹਾ ਕਮਿੱਟ ਕਰੋ","review.commit.messagePlaceholder":"ਇੱਕ ਕਮਿਟ ਸੁਨੇਹਾ ਆਟੋਮੇਟ ਕਰਨ ਲਈ ਖਾਲੀ ਛੱਡੋ","review.commit.nextSteps":"ਅਗਲੇ ਕਦਮ","review.commit.nextSteps.commit":"ਵਚਨਬੱਧਤਾ","review.commit.nextSteps.commitAndCreate":"ਕਮਿੱਟ ਅਤੇ PR ਬਣਾਓ","review.commit.nextSteps.commitAndPush":"ਕਮਿੱਟ ਅਤੇ ਪੁਸ਼","review.commit.nextSteps.prRequiresGh":"GitHub CLI ਲੋੜੀਂਦਾ ਹੈ: {command}","review.commit.rows.changes":"ਬਦਲਾਅ","review.commit.rows.commitCount":"{count, plural, one {# ਕਮਿਟ} other {# ਕਮਿੱਟ ਕਰਦਾ ਹੈ}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# ਕਮਿਟ} other {# ਕਮਿੱਟ ਕਰਦਾ ਹੈ}} ਅਤੇ {stats}","review.commit.rows.fileCount":"{count, plural, one {# ਫਾਈਲ} other {# ਫਾਈਲਾਂ}}","review.commit.state.error.body":"ਕਮਿੱਟ ਕਰਨ ਦੌਰਾਨ ਕੁਝ ਗੜਬੜ ਹੋਈ। ਆਪਣੇ git ਸਟੇਟਸ ਦੀ ਜਾਂਚ ਕਰੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।","review.commit.state.error.title":"ਕਮਿੱਟ ਅਸਫਲ","review.commit.state.success.title":"ਬਦਲਾਅ ਕਮਿੱਟ ਕੀਤੇ","review.commit.untracked.loadingStats":"ਅਨਟ੍ਰੈਕ ਡਿਫ ਸਟੈਟਸ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","reviewFindingAttachments.count":"{count, plural, one {# ਲੱਭ ਰਿਹਾ ਹੈ} other {# ਲੱਭਤਾਂ}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"ਆਪਣਾ ਕੌਂਨਫਿਗ ਸੰਪਾਦਿਤ ਕਰਕੇ ਏਜੰਟ ਦਾ ਵਿਹਾਰ ਅਨੁਕੂਲਿਤ ਕਰੋ","settings.agent.configuration.configToml.docs":"ਦਸਤਾਵੇਜ","settings.agent.configuration.configToml.restartNote":"ਬਦਲਾਵਾਂ ਨੂੰ ਲਾਗੂ ਕਰਨ ਲਈ ਐਡਿਟ ਤੋਂ ਬਾਅਦ Codex ਨੂੰ ਮੁੜ ਚਾਲੂ ਕਰੋ","settings.agent.configuration.subtitle":"ਇਹ ਸੈਟਿੰਗਾਂ ਹਰ ਕਿਤੇ ਲਾਗੂ ਹੁੰਦੀਆਂ ਹਨ ਜਿੱਥੇ Codex ਦੀ ਵਰਤੋਂ ਹੁੰਦੀ ਹੈ","settings.automations.banner.danger":"ਆਟੋਮੇਸ਼ਨ ਤੁਹਾਡੀਆਂ ਡਿਫੌਲਟ ਸੈਂਡਬੌਕਸ ਸੈਟਿੰਗਾਂ ਨਾਲ ਚੱਲਦੇ ਹਨ, ਜੋ ਕਿ ਵਰਤਮਾਨ ਵਿੱਚ ਫੁੱਲ ਐਕਸੈਸ ਤੇ ਸੈੱਟ ਹਨ। ਫੁੱਲ ਐਕਸੈਸ ਨਾਲ ਬੈਕਗ੍ਰਾਉਂਡ ਆਟੋਮੇਸ਼ਨ ਚਲਾਉਣ ਨਾਲ ਉੱਚ ਜੋਖਮ ਹੁੰਦਾ ਹੈ, ਕਿਉਂਕਿ ਕੋਡੈਕਸ ਫਾਈਲਾਂ ਨੂੰ ਸੋਧ ਸਕਦਾ ਹੈ, ਕਮਾਂਡ ਚਲਾ ਸਕਦਾ ਹੈ, ਅਤੇ ਬਿਨਾਂ ਪੁੱਛੇ ਨੈੱਟਵਰਕ ਤੱਕ ਪਹੁੰਚ ਕਰ ਸਕਦਾ ਹੈ। ਵਰਕਸਪੇਸ ਲਿਖਣ ਲਈ ਸੈਂਡਬੌਕਸ ਸੈਟਿੰਗਾਂ ਨੂੰ ਅਪਡੇਟ ਕਰਨ 'ਤੇ ਵਿਚਾਰ ਕਰੋ, ਅਤੇ <rulesDocsLink>ਨਿਯਮ</rulesDocsLink> ਦੀ ਵਰਤੋਂ ਕਰਕੇ ਚੋਣਵੇਂ ਤੌਰ 'ਤੇ ਪਰਿਭਾਸ਼ਿਤ ਕਰੋ ਕਿ ਏਜੰਟ ਪੂਰੀ ਐਕਸੈਸ ਨਾਲ ਕਿਹੜੀ ਕਮਾਂਡ ਚਲਾ ਸਕਦਾ ਹੈ।","settings.automations.banner.defaultHowTo.default":"ਆਟੋਮੇਸ਼ਨ ਤੁਹਾਡੀਆਂ ਡਿਫੌਲਟ ਸੈਂਡਬੌਕਸ ਸੈਟਿੰਗਾਂ ਨਾਲ ਚੱਲਦੇ ਹਨ। ਟੂਲ ਕਾਲਾਂ ਅਸਫਲ ਹੋ ਜਾਣਗੀਆਂ ਜੇਕਰ ਉਹਨਾਂ ਨੂੰ ਵਰਕਸਪੇਸ ਤੋਂ ਬਾਹਰ ਫਾਈਲਾਂ ਨੂੰ ਸੋਧਣ, ਨੈੱਟਵਰਕ ਤੱਕ ਪਹੁੰਚ ਕਰਨ, ਜਾਂ ਤੁਹਾਡੇ ਕੰਪਿਊਟਰ 'ਤੇ ਐਪਸ ਨਾਲ ਕੰਮ ਕਰਨ ਦੀ ਲੋੜ ਹੁੰਦੀ ਹੈ। ਤੁਸੀਂ <rulesDocsLink>ਨਿਯਮ</rulesDocsLink> ਦੀ ਵਰਤੋਂ ਕਰਕੇ ਸੈਂਡਬੌਕਸ ਦੇ ਬਾਹਰ ਚਲਾਉਣ ਲਈ ਚੋਣਵੇਂ ਤੌਰ 'ਤੇ ਅਲਾਉਲਿਸਟ ਕਮਾਂਡ ਕਰ ਸਕਦੇ ਹੋ।","settings.automations.banner.defaultHowTo.readOnly":"ਆਟੋਮੇਸ਼ਨ ਤੁਹਾਡੀਆਂ ਡਿਫੌਲਟ ਸੈਂਡਬੌਕਸ ਸੈਟਿੰਗਾਂ ਨਾਲ ਚੱਲਦੇ ਹਨ, ਜੋ ਕਿ ਸਿਰਫ਼ ਪੜ੍ਹਨ ਲਈ ਸੈੱਟ ਕੀਤੀਆਂ ਜਾਂਦੀਆਂ ਹਨ। ਟੂਲ ਕਾਲਾਂ ਅਸਫਲ ਹੋ ਜਾਣਗੀਆਂ ਜੇਕਰ ਉਹਨਾਂ ਨੂੰ ਫਾਈਲਾਂ ਨੂੰ ਸੋਧਣ, ਨੈੱਟਵਰਕ ਤੱਕ ਪਹੁੰਚ ਕਰਨ, ਜਾਂ ਤੁਹਾਡੇ ਕੰਪਿਊਟਰ 'ਤੇ ਐਪਸ ਨਾਲ ਕੰਮ ਕਰਨ ਦੀ ਲੋੜ ਹੁੰਦੀ ਹੈ। ਸੈਂਡਬੌਕਸ ਸੈਟਿੰਗਾਂ ਨੂੰ ਵਰਕਸਪੇਸ ਲਿਖਣ ਲਈ ਅੱਪਡੇਟ ਕਰਨ 'ਤੇ ਵਿਚਾਰ ਕਰੋ।","settings.automations.cancel":"ਰੱਦ ਕਰੋ","settings.automations.create":"ਬਣਾਉ","settings.automations.cwdEmpty":"ਕੋਈ ਪ੍ਰੋਜੈਕਟ ਫੋਲਡਰ ਉਪਲਬਧ ਨਹੀਂ ਹੈ","settings.automations.cwdLabel":"ਪ੍ਰੋਜੈਕਟ","settings.automations.cwdPlaceholder":"ਇੱਕ ਫੋਲਡਰ ਚੁਣੋ","settings.automations.cwdSubtitle":"ਜੇਕਰ ਤੁਸੀਂ ਚਾਹੁੰਦੇ ਹੋ ਕਿ ਆਟੋਮੇਸ਼ਨ ਕਿਸੇ ਖਾਸ ਸ਼ਾਖਾ 'ਤੇ ਚੱਲੇ, ਤਾਂ ਤੁਸੀਂ ਇਸਨੂੰ ਆਪਣੇ ਪ੍ਰੋਂਪਟ ਵਿੱਚ ਦਰਸਾ ਸਕਦੇ ਹੋ।","settings.automations.delete":"ਮਿਟਾਓ","settings.automations.dialog.editTitle":"ਆਟੋਮੇਸ਼ਨ ਸੰਪਾਦਿਤ ਕਰੋ","settings.automations.dialog.newTitle":"ਨਵੀਂ ਆਟੋਮੇਸ਼ਨ","settings.automations.dialog.subtitle":"ਬੈਕਗ੍ਰਾਊਂਡ ਵਿੱਚ ਆਵਰਤੀ ਕਾਰਜਾਂ ਨੂੰ ਸਵੈਚਲਿਤ ਕਰੋ। ਕੋਡੈਕਸ ਇਨਬਾਕਸ ਵਿੱਚ ਖੋਜਾਂ ਜੋੜਦਾ ਹੈ, ਜਾਂ ਜੇਕਰ ਰਿਪੋਰਟ ਕਰਨ ਲਈ ਕੁਝ ਨਹੀਂ ਹੈ ਤਾਂ ਕਾਰਜ ਨੂੰ ਆਪਣੇ ਆਪ ਪੁਰਾਲੇਖਬੱਧ ਕਰਦਾ ਹੈ। <learnMoreLink>ਹੋਰ ਜਾਣੋ</learnMoreLink>","settings.automations.dialog.title":"ਆਟੋਮੇਸ਼ਨ ਬਣਾਉ","settings.automations.executionCopy.git":"ਸਮਰਪਿਤ ਵਰਕਟਰੀਜ਼ 'ਤੇ ਬੈਕਗ੍ਰਾਊਂਡ ਵਿੱਚ ਆਟੋਮੇਸ਼ਨ ਚੱਲਦੇ ਹਨ।","settings.automations.executionCopy.nonGit":"ਗੈਰ-ਵਰਜਨ-ਨਿਯੰਤਰਿਤ ਪ੍ਰੋਜੈਕਟਾਂ ਵਿੱਚ ਆਟੋਮੇਸ਼ਨ ਸਿੱਧੇ ਪ੍ਰੋਜੈਕਟ ਡਾਇਰੈਕਟਰੀ ਵਿੱਚ ਚੱਲਦਾ ਹੈ। ਬੈਕਗ੍ਰਾਉਂਡ ਵਰਕਟਰੀ 'ਤੇ ਚੱਲਣ ਨੂੰ ਸਮਰੱਥ ਬਣਾਉਣ ਲਈ Git ਦੀ ਵਰਤੋਂ ਕਰਨ 'ਤੇ ਵਿਚਾਰ ਕਰੋ।","settings.automations.executionEnvironment.local":"ਲੋਕਲ","settings.automations.executionEnvironment.worktree":"ਵਰਕਟਰੀ","settings.automations.loading":"ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","settings.automations.nameLabel":"ਨਾਮ","settings.automations.namePlaceholder":"ਸੈਂਟਰੀ ਮਸਲਿਆਂ ਬਾਬਤ ਜਾਂਚ ਕਰੋ","settings.automations.pause":"ਰੋਕੋ","settings.automations.promptLabel":"ਪ੍ਰੋਂਪਟ","settings.automations.promptPlaceholder":"$Sentry ਵਿੱਚ ਕਰੈਸ਼ਾਂ ਦੀ ਭਾਲ਼ ਕਰੋ","settings.automations.resume":"ਮੁੜ-ਚਾਲੂ ਕਰੋ","settings.automations.rruleSummaryFallback":"ਕਸਟਮ ਸ਼ਡਿਊਲ","settings.automations.runNow":"ਟੈਸਟ","settings.automations.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.automations.scheduleBadge.dayCount":"{count}ਦਿ","settings.automations.scheduleBadge.interval":"{count}ਘੰ","settings.automations.scheduleBadge.weekdays":"ਕੰਮ ਦੇ ਦਿਨ","settings.automations.scheduleBadge.weekends":"ਕੰਮ ਦੇ ਦਿਨ","settings.automations.scheduleHeader":"ਸ਼ਡਿਊਲ","settings.automations.scheduleHours":"ਘੰਟੇ","settings.automations.scheduleLabel":"ਹਰੇਕ ਰਨ ਕਰੋ","settings.automations.scheduleMode.daily":"ਰੋਜ਼ਾਨਾ","settings.automations.scheduleMode.interval":"ਇੰਟਰਵਲ","settings.automations.scheduleModeLabel":"ਸ਼ੈਡਿਊਲ ਕਿਸਮ","settings.automations.scheduleSummary.daily":"ਰੋਜ਼ਾਨਾ {time} ਵਜੇ","settings.automations.scheduleSummary.interval":"ਹਰੇਕ {count}ਘੰ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ਦਿਨ} other {# ਦਿਨਾਂ}}","settings.automations.scheduleSummary.intervalDays":"{days} ’ਤੇ {interval}","settings.automations.scheduleSummary.intervalHourly":"ਘੰਟਾਵਾਰ","settings.automations.scheduleSummary.singleDay":"{day} ਨੂੰ {time} ਵਜੇ","settings.automations.scheduleSummary.weekdays":"{time} ਨੂੰ ਵੀਕਡੇਅਜ਼","settings.automations.scheduleSummary.weekdaysLabel":"ਵੀਕਡੇਅਜ਼","settings.automations.scheduleSummary.weekends":"{time} ’ਤੇ ਵੀਕਐਂਡਸ","settings.automations.scheduleSummary.weekendsLabel":"ਵੀਕਐਂਡਸ","settings.automations.scheduleSummary.weekly":"{days} ਨੂੰ {time} ਵਜੇ","settings.automations.scheduleWeekdays":"ਚਾਲੂ","settings.automations.weekdayState.excluded":"ਬਾਹਰ","settings.automations.weekdayState.included":"ਸ਼ਾਮਲ","settings.conversationDetail.steps":"ਕਦਮ","settings.conversationDetail.steps.description":"ਕਮਾਂਡ ਅਤੇ ਆਉਟਪੁੱਟ ਛੁਪਾਓ","settings.conversationDetail.stepsWithCommands":"ਕੋਡ ਕਮਾਂਡਾਂ ਵਾਲੇ ਕਦਮ","settings.conversationDetail.stepsWithCommands.description":"ਕਮਾਂਡ ਦਿਖਾਓ, ਆਉਟਪੁੱਟ ਬੰਦ ਕਰੋ","settings.conversationDetail.stepsWithOutput":"ਕੋਡ ਆਉਟਪੁੱਟ ਵਾਲੇ ਕਦਮ","settings.conversationDetail.stepsWithOutput.description":"ਕਮਾਂਡ ਦਿਖਾਓ ਅਤੇ ਆਉਟਪੁੱਟ ਐਕਪੈਂਡ ਕਰੋ","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"ਕੋਈ ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਚੈਟ ਨਹੀਂ ਹੈ।","settings.dataControls.archivedChats.error":"ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਚੈਟਾਂ ਲੋਡ ਨਹੀਂ ਕੀਤੀਆਂ ਜਾ ਸਕੀਆਂ।","settings.dataControls.archivedChats.loading":"ਪੁਰਾਲੇਖ ਕੀਤੀਆਂ ਚੈਟਾਂ ਲੋਡ ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ...","settings.dataControls.archivedChats.unarchive":"ਪੁਰਾਲੇਖ ਵਿੱਚੋਂ ਹਟਾਉ","settings.dataControls.archivedChats.unarchiveError":"ਚੈਟ ਨੂੰ ਪੁਰਾਲੇਖ ਵਿੱਚੋਂ ਹਟਾਉਣਾ ਅਸਫਲ","settings.dataControls.archivedChats.unarchiveSuccess":"ਥ੍ਰੈਡ ਪੁਰਾਲੇਖ ਵਿੱਚੋਂ ਹਟਾਓ। <viewNowLink>ਹੁਣੇ ਦੇਖੋ</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"ਗੈਰ-ਪੁਰਾਲੇਖ ਥ੍ਰੈਡ।","settings.dataControls.archivedChats.untitled":"ਬਿਨਾਂ ਸਿਰਲੇਖ ਚੈਟ","settings.dataControls.archivedChats.viewNow":"ਹੁਣੇ ਦੇਖੋ","settings.editRow.headerPlaceholder":"ਕੀਅ","settings.editRow.removeEntry":"ਐਂਟਰੀ ਹਟਾਉ","settings.editRow.valuePlaceholder":"ਮੁੱਲ","settings.general.appearance":"ਦਿੱਖ","settings.general.appearance.codeFont":"ਕੋਡ ਫੌਂਟ","settings.general.appearance.codeFont.description":"ਚੈਟਾਂ ਅਤੇ ਡਿਫਾਂ ਵਿੱਚ ਕੋਡ ਲਈ ਵਰਤੇ ਗਏ ਫੌਂਟ ਅਤੇ ਆਕਾਰ ਨੂੰ ਐਡਜਸਟ ਕਰੋ","settings.general.appearance.codeFontFamily":"ਕੋਡ ਫੌਂਟ ਫੈਮਲੀ","settings.general.appearance.codeFontSize":"ਕੋਡ ਫੌਂਟ ਆਕਾਰ","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ਵਿੰਡੋਜ਼ ਨੂੰ ਸਿਸਟਮ ਪਾਰਦਰਸ਼ਤਾ ਦੀ ਬਜਾਏ ਠੋਸ ਬੈਕਗ੍ਰਾਉਂਡ ਦੀ ਵਰਤੋਂ ਕਰਨ ਦਿਉ","settings.general.appearance.opaqueWindows.label":"ਅਪਾਰਦਰਸ਼ੀ ਵਿੰਡੋ ਬੈਕਗ੍ਰਾਊਂਡ ਦੀ ਵਰਤੋਂ ਕਰੋ","settings.general.appearance.sansFontFamily":"ਸਾਂਸ ਫੌਂਟ ਫੈਮਲੀ","settings.general.appearance.sansFontFamily.description":"Codex UI ਲਈ ਵਰਤੇ ਜਾਂਦੇ ਫੌਂਟਾਂ ਨੂੰ ਅਡਜਸਟ ਕਰੋ","settings.general.appearance.sansFontSize":"ਸਾਂਸ ਫੌਂਟ ਆਕਾਰ","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark ਦੇ ਪਹਿਲੇ ਮੋੜ 'ਤੇ ਚੱਲਣ ਦੌਰਾਨ ਪੂਰੀ-ਵਿੰਡੋ ਵਾਲਾ ਜਸ਼ਨ ਪ੍ਰਭਾਵ ਦਿਖਾਓ।","settings.general.appearance.sparkCelebrationEffects.label":"ਸਪਾਰਕ ਜਸ਼ਨ ਪ੍ਰਭਾਵ","settings.general.appearance.theme":"ਥੀਮ","settings.general.appearance.theme.dark":"ਗੂੜ੍ਹੀ","settings.general.appearance.theme.description":"ਰੌਸ਼ਨ, ਗੂੜ੍ਹਾ, ਜਾਂ ਆਪਣੇ ਸਿਸਟਮ ਨਾਲ ਮੇਲ ਖਾਂਦੇ ਨੂੰ ਵਰਤੋ","settings.general.appearance.theme.light":"ਹਲਕੀ","settings.general.appearance.theme.system":"ਸਿਸਟਮ","settings.general.appearance.usePointerCursors.description":"ਇੰਟਰਐਕਟਿਵ ਐਲੀਮੈਂਟਸ ਉੱਤੇ ਹੋਵਰ ਕਰਦੇ ਸਮੇਂ ਕਰਸਰ ਨੂੰ ਪੁਆਇੰਟਰ ਵਿੱਚ ਬਦਲੋ","settings.general.appearance.usePointerCursors.label":"ਪੁਆਇੰਟਰ ਕਰਸਰ ਵਰਤੋ","settings.general.enterBehavior.description":"ਜਦੋ ਸਮਰੱਥਿਤ ਹੋਵੇ, ਇੱਕ ਜਿਆਦਾ ਲਾਈਨ ਵਾਲੇ ਪ੍ਰੋਪਟ ਨੂੰ ਭੇਜਣ ਲਈ {modifierSymbol} + ਐਂਟਰ ਦੱਬੋ।","settings.general.enterBehavior.label":"{modifierSymbol} + ਲੰਬੇ ਪ੍ਰੋਂਪਟ ਭੇਜਣ ਲਈ ਐਂਟਰ ਦੱਬਣਾ ਲੋੜੀਂਦਾ ਹੈ","settings.general.experimentalFeatures":"ਪ੍ਰਯੋਗਾਤਮਕ ਫੀਚਰ (ਬੀਟਾ)","settings.general.experimentalFeatures.empty":"ਕੋਈ ਬੀਟਾ ਪ੍ਰਯੋਗਾਤਮਕ ਫੀਚਰ ਉਪਲਬਧ ਨਹੀਂ।","settings.general.experimentalFeatures.loading":"ਪ੍ਰਯੋਗਾਤਮਕ ਫੀਚਰ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","settings.general.experimentalFeatures.restartNote":"ਪ੍ਰਯੋਗਾਤਮਕ ਫੀਚਰ ਤਬਦੀਲੀਆਂ ਲਾਗੂ ਕਰਨ ਲਈ Codex ਨੂੰ ਮੁੜ ਚਾਲੂ ਕਰੋ","settings.general.experimentalFeatures.toggle":"{featureName} ਟੋਗਲ ਕਰੋ","settings.general.followUpQueueMode.description":"Codex ਚੱਲਣ ਸਮੇਂ ਫਾਲੋ-ਅੱਪ ਕਿਊ ਜਾਂ ਮੌਜੂਦਾ ਰਨ ਵਿੱਚ ਸਟੀਰ ਕਰੋ। ਇੱਕ ਸੁਨੇਹੇ ਲਈ ਉਲਟਾ ਕਰਨ ਲਈ {invertFollowUpShortcutLabel} ਦੱਬੋ।","settings.general.followUpQueueMode.interrupt":"ਸਟੀਰ","settings.general.followUpQueueMode.label":"ਫਾਲੋ-ਅੱਪ ਵਿਹਾਰ","settings.general.followUpQueueMode.queue":"Queue","settings.general.notifications":"ਸੂਚਨਾਵਾਂ","settings.general.power.preventSleepWhileRunning.description":"ਆਪਣੇ ਕੰਪਿਊਟਰ ਨੂੰ ਚੱਲਦਾ ਰੱਖੋ ਜਦੋਂ Codex ਇੱਕ ਥ੍ਰੈਡ ਰਨ ਕਰ ਰਿਹਾ ਹੈ।","settings.general.power.preventSleepWhileRunning.label":"ਰਨ ਕਰਨ ਦੌਰਾਨ ਸਲੀਪ ਨੂੰ ਰੋਕੋ","settings.git.branchPrefix.ariaLabel":"ਸ਼ਾਖਾ ਪ੍ਰੀਫਿਕਸ","settings.git.branchPrefix.description":"Codex ਵਿੱਚ ਨਵੀਆਂ ਸ਼ਾਖਾਵਾਂ ਬਣਾਉਣ ਵੇਲੇ ਵਰਤੇ ਪ੍ਰੀਫਿਕਸ","settings.git.branchPrefix.label":"ਸ਼ਾਖਾ ਪ੍ਰੀਫਿਕਸ","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"ਸ਼ਾਖਾ ਪ੍ਰੀਫਿਕਸ ਨੂੰ ਸੇਵ ਕਰਨਾ ਅਸਫਲ","settings.git.branchPrefix.save.success":"ਸੇਵ ਕੀਤੇ ਸ਼ਾਖਾ ਪ੍ਰੀਫਿਕਸ","settings.git.commitInstructions.ariaLabel":"ਕਮਿੱਟ ਹਦਾਇਤਾਂ","settings.git.commitInstructions.description":"ਸੁਨੇਹਾ ਜਨਰੇਸ਼ਨ ਪ੍ਰੋਂਪਟਾਂ ਨੂੰ ਕਮਿਟ ਕਰਨ ਲਈ ਸ਼ਾਮਲ ਕੀਤਾ ਗਿਆ","settings.git.commitInstructions.label":"ਕਮਿੱਟ ਹਦਾਇਤਾਂ","settings.git.commitInstructions.placeholder":"ਕਮਿਟ ਸੁਨੇਹਾ ਮਾਰਗਦਰਸ਼ਨ ਸ਼ਾਮਲ ਕਰੋ...","settings.git.commitInstructions.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.git.commitInstructions.save.error":"ਕਮਿਟ ਨਿਰਦੇਸ਼ਾਂ ਨੂੰ ਸੁਰੱਖਿਅਤ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","settings.git.commitInstructions.save.success":"ਸੇਵ ਕੀਤੀਆਂ ਕਮਿੱਟ ਹਦਾਇਤਾਂ","settings.git.forcePush.ariaLabel":"ਹਮੇਸ਼ਾ ਫੋਰਸ ਪੁਸ਼ ਕਰੋ","settings.git.forcePush.description":"Codex ਤੋਂ ਪੁਸ਼ ਕਰਨ ਵੇਲੇ --force-with-lease ਦੀ ਵਰਤੋਂ ਕਰੋ","settings.git.forcePush.label":"ਹਮੇਸ਼ਾ ਫੋਰਸ ਪੁਸ਼ ਕਰੋ","settings.git.forcePush.save.disabled":"ਹਮੇਸ਼ਾ ਫੋਰਸ ਪੁਸ਼ ਬੰਦ","settings.git.forcePush.save.enabled":"ਹਮੇਸ਼ਾ ਫੋਰਸ ਪੁਸ਼ ਚਾਲੂ","settings.git.forcePush.save.error":"ਫੋਰਸ ਪੁਸ਼ ਸੈਟਿੰਗ ਨੂੰ ਸੇਵ ਕਰਨਾ ਅਸਫਲ","settings.git.prInstructions.ariaLabel":"ਪੁੱਲ ਬੇਨਤੀ ਹਦਾਇਤਾਂ","settings.git.prInstructions.description":"Codex ਦੁਆਰਾ ਬਣਾਏ ਗਏ ਪੁੱਲ ਬੇਨਤੀ ਬਾਡੀਜ਼ ਨਾਲ ਸ਼ਾਮਲ ਕੀਤਾ ਗਿਆ","settings.git.prInstructions.label":"ਪੁੱਲ ਬੇਨਤੀ ਹਦਾਇਤਾਂ","settings.git.prInstructions.placeholder":"ਪੁੱਲ ਬੇਨਤੀ ਮਾਰਗਦਰਸ਼ਨ ਸ਼ਾਮਲ ਕਰੋ...","settings.git.prInstructions.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.git.prInstructions.save.error":"ਪੁੱਲ ਬੇਨਤੀ ਨਿਰਦੇਸ਼ਾਂ ਨੂੰ ਰੱਖਿਅਤ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","settings.git.prInstructions.save.success":"ਪੁੱਲ ਬੇਨਤੀ ਹਦਾਇਤਾਂ ਸੇਵ ਕੀਤੀਆਂ","settings.ide.defaultOpenTarget.description":"ਜਿੱਥੇ ਫਾਈਲਾਂ ਤੇ ਫੋਲਡਰ ਡਿਫਾਲਟ ਖੁੱਲਦੇ ਹਨ","settings.ide.defaultOpenTarget.label":"ਡਿਫਾਲਟ ਓਪਨ ਡੇਸਟੀਨੇਸ਼ਨ","settings.ide.defaultOpenTarget.placeholder":"ਕੋਈ ਟਾਰਗੈੱਟ ਨਹੀਂ ਲੱਭਿਆ","settings.ide.language.auto":"ਸਵੈ-ਖੋਜ","settings.ide.language.autoOption":"ਸਵੈ-ਖੋਜ","settings.ide.language.description":"ਐਪ UI ਲਈ ਭਾਸ਼ਾ","settings.ide.language.label":"ਭਾਸ਼ਾ","settings.ide.language.search":"ਭਾਸ਼ਾਵਾਂ ਖੋਜੋ","settings.layout.actionButton":"ਐਕਸਟੈਂਸ਼ਨ ਰੀਸਟਾਰਟ ਕਰੋ","settings.layout.actionTitle":"ਕਾਰਵਾਈ ਵਿੱਚ ਸੈਟਿੰਗਾਂ","settings.layout.fullWidthTitle":"ਸੈਟਿਗਾਂ (ਪੂਰੀ ਚੌੜਾਈ)","settings.layout.title":"ਸੈਟਿੰਗਾਂ","settings.localEnvironments.actions.add":"ਕਾਰਵਾਈ ਸ਼ਾਮਲ ਕਰੋ","settings.localEnvironments.actions.add.description":"ਟੂਲਬਾਰ ਤੋਂ ਰਨ ਕਰਨ ਲਈ ਨਵੀਂ ਕਮਾਂਡ ਬਣਾਉ।","settings.localEnvironments.actions.add.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.localEnvironments.actions.empty":"ਲੋਕਲ ਟੂਲਬਾਰ ਤੋਂ ਕਮਾਂਡਾਂ ਰਨ ਕਰਨ ਲਈ ਕਾਰਵਾਈ ਸ਼ਾਮਲ ਕਰੋ","settings.localEnvironments.actions.icon.debug":"ਡੀਬੱਗ","settings.localEnvironments.actions.icon.run":"ਰਨ ਕਰੋ","settings.localEnvironments.actions.icon.test":"ਟੈਸਟ","settings.localEnvironments.actions.icon.tool":"ਟੂਲ","settings.localEnvironments.actions.item.button.delete":"ਮਿਟਾਓ","settings.localEnvironments.actions.item.command":"ਕਾਰਵਾਈ ਸਕ੍ਰਿਪਟ","settings.localEnvironments.actions.item.name":"ਨਾਮ","settings.localEnvironments.actions.item.platforms":"ਪੇਲਫਾਰਮ","settings.localEnvironments.actions.item.platforms.help":"ਸਿਰਫ ਵਿਸ਼ੇਸ਼ OS ’ਤੇ ਰਨ ਕਰੋ।","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"ਪਲੇਟਫਾਰਮ ਚੋਣ","settings.localEnvironments.actions.item.platforms.specific":"ਪਲੇਟਫਾਰਮ ਵਿਸ਼ੇਸ਼","settings.localEnvironments.actions.item.platforms.windows":"ਵਿੰਡੋਜ਼","settings.localEnvironments.actions.item.tooltip.delete":"ਮਿਟਾਓ","settings.localEnvironments.actions.title":"ਕਾਰਵਾਈਆਂ","settings.localEnvironments.breadcrumb.back":"ਵਾਪਸ","settings.localEnvironments.breadcrumb.edit":"ਸੰਪਾਦਿਤ ਕਰੋ","settings.localEnvironments.breadcrumb.root":"ਵਾਤਾਵਰਣ","settings.localEnvironments.environment.actions.description":"ਇਹ ਕਾਰਵਾਈਆਂ ਕੋਈ ਵੀ ਕਮਾਂਡ ਰਨ ਕਰ ਸਕਦੀਆਂ ਹਨ ਅਤੇ ਇਹ ਹੈਡਰ ’ਤੇ ਦਿਖਾਈਆਂ ਜਾਣਗੀਆਂ।","settings.localEnvironments.environment.actionsLabel":"ਕਾਰਵਾਈਆਂ","settings.localEnvironments.environment.create":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਬਣਾਓ","settings.localEnvironments.environment.defaultName":"ਲੋਕਲ","settings.localEnvironments.environment.edit":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਐਡਿਟ ਕਰੋ","settings.localEnvironments.environment.empty":"ਅਜੇ ਇਸ ਪ੍ਰੋਜੈਕਟ ਲਈ ਕੋਈ ਵੀ ਲੋਕਲ ਵਾਤਾਵਰਣ ਕੌਨਫਿਗਰ ਨਹੀਂ ਕੀਤਾ ਹੋਇਆ।","settings.localEnvironments.environment.name":"ਨਾਮ","settings.localEnvironments.environment.setup":"ਸੈੱਟਅੱਪ ਸਕ੍ਰਿਪਟ","settings.localEnvironments.environment.setup.description":"ਇਹ ਸਕ੍ਰਿਪਟ ਵਰਕਟਰੀ ਸਿਰਜਣਾ ’ਤੇ ਰਨ ਹੋਵੇਗੀ।","settings.localEnvironments.environment.setup.hint":"ਪ੍ਰੋਜੈਕਟ ਰੂਟ ਵਿੱਚ ਚੱਲਦਾ ਹੈ।","settings.localEnvironments.environment.setup.platformOverrides":"ਪਲੇਟਫਾਰਮ ਓਵਰਰਾਈਡਾਂ","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} ਸੈੱਟਅੱਪ ਸਕ੍ਰਿਪਟਾਂ ਸ਼ਾਮਲ ਕਰੋ","settings.localEnvironments.environment.setup.platformOverrides.description":"ਵਿਸ਼ੇਸ਼ OS ਲਈ ਡਿਫਾਲਟ ਸਕ੍ਰਿਪਟ ਓਵਰਰਾਈਡ ਕਰਦਾ ਹੈ।","settings.localEnvironments.environment.setup.platformOverrides.remove":"ਹਟਾਉ","settings.localEnvironments.environment.setup.script":"ਸਕ੍ਰਿਪਟ","settings.localEnvironments.environment.title":"ਵਾਤਾਵਰਮ ਵੇਰਵੇ","settings.localEnvironments.file.missing":"ਇਸ ਫਾਈਲ ਨੂੰ ਪਹਿਲੀ ਵਾਰ ਬਣਾਉਣ ਲਈ ਸੇਵ ਕਰੋ।","settings.localEnvironments.file.parseError":"ਮੌਜੂਦਾ ਫਾਈਲ ਨੂੰ ਪਾਰਸ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ। ਸੇਵ ਹੋਣ ਨਾਲ ਇਹ ਓਵਰਰਾੀਟ ਹੋ ਜਾਵੇਗੀ। ({error})","settings.localEnvironments.file.path":"ਫਾਈਲ: {path}","settings.localEnvironments.file.readError":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਡਾਟਾ ਨੂੰ ਲੋਡ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ। ({error})","settings.localEnvironments.file.title":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਫਾਈਲ","settings.localEnvironments.loading.body":"ਤੁਹਾਡੀ ਪ੍ਰੋਜੈਕਟ ਕੌਂਫਿਗਰੇਸ਼ਨ ਫੈੱਚ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ।","settings.localEnvironments.loading.title":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","settings.localEnvironments.preview.devOnly":"(ਸਿਰਫ DEV)","settings.localEnvironments.preview.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.localEnvironments.preview.saveError":"ਫਾਈਲ ਸੇਵ ਕਰਨ ਵਿੱਚ ਅਸਫਲ। ({error})","settings.localEnvironments.preview.title":"ਪੂਰਵ-ਝਲਕ","settings.localEnvironments.save.disabled.name":"ਸੰਭਾਲਣ ਲਈ ਵਾਤਾਵਰਣ ਨਾਮ ਭਰੋ।","settings.localEnvironments.save.disabled.noChanges":"ਸੰਭਾਲਣ ਲਈ ਕੋਈ ਬਦਲਾਅ ਨਹੀ ਹਨ।","settings.localEnvironments.save.disabled.saving":"ਸੇਵ ਹੋ ਰਿਹਾ ਹੈ...","settings.localEnvironments.save.success":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਸੇਵ ਕੀਤਾ","settings.localEnvironments.unavailable.body":"ਇਸ ਪ੍ਰੋਜੈਕਟ ਲਈ ਅਸੀਂ ਸਥਾਨਕ ਵਾਤਾਵਰਣ ਸੈਟਿੰਗਾਂ ਨੂੰ ਲੋਡ ਨਹੀਂ ਕਰ ਸਕੇ।","settings.localEnvironments.unavailable.title":"ਲੋਕਲ ਵਾਤਾਵਰਣ ਉਪਲਬਧ ਨਹੀਂ","settings.localEnvironments.workspace.add":"ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","settings.localEnvironments.workspace.title":"ਪ੍ਰੋਜੈਕਟ","settings.localEnvironments.workspaceSelect.addLabel":"ਵਾਤਾਵਰਣ ਸ਼ਾਮਲ ਕਰੋ","settings.localEnvironments.workspaceSelect.description":"ਸਥਾਨਕ ਵਾਤਾਵਰਣ Codex ਨੂੰ ਦੱਸਦੇ ਹਨ ਕਿ ਪ੍ਰੋਜੈਕਟ ਲਈ ਵਰਕਟਰੀਜ਼ ਨੂੰ ਸੈੱਟ ਅੱਪ ਕਿੰਝ ਕਰਨਾ ਹੈ। {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ਅਜੇ ਕੋਈ ਪ੍ਰੋਜੈਕਟ ਨਹੀਂ। ਸਥਾਨਕ ਵਾਤਾਵਰਣਾਂ ਨੂੰ ਕੌਨਫਿਗਰ ਕਰਨ ਲਈ ਇੱਕ ਵਾਤਾਵਰਣ ਜੋੜੋ।","settings.localEnvironments.workspaceSelect.errorLabel":"ਵਾਤਾਵਰਣ ਲਈ ਧਿਆਨ ਲੋੜੀਂਦਾ ਹੈ","settings.localEnvironments.workspaceSelect.learnMore":"ਵਧੇਰੇ ਜਾਣੋ","settings.localEnvironments.workspaceSelect.listLabel":"ਉਪਲਬਧ ਪ੍ਰੋਜੈਕਟ","settings.localEnvironments.workspaceSelect.loading":"ਪ੍ਰੋਜੈਕਟਾਂ ਨੂੰ ਲੋਡ ਕਰ ਰਿਹਾ ਹੈ","settings.localEnvironments.workspaceSelect.loadingLabel":"ਵਾਤਾਵਰਣ ਲੋਡ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","settings.localEnvironments.workspaceSelect.title":"ਇੱਕ ਪ੍ਰੋਜੈਕਟ ਚੁਣੋ","settings.localEnvironments.workspaceSelect.viewAction":"ਦੇਖੋ","settings.mcp.addServer":"ਸਰਵਰ ਜੋੜੋ","settings.mcp.app.configure":"ਕੌਨਫਿਗਰ","settings.mcp.app.connect":"ਕੁਨੈਕਟ ਕਰੋ","settings.mcp.apps.refresh":"ਰੀਫਰੈਸ਼","settings.mcp.detail.addArgument":"ਤਕਰੀਰ ਜੋੜੋ","settings.mcp.detail.addEnvVar":"ਵਾਤਾਵਰਣ ਵੇਰੀਏਬਲ ਜੋੜੋ","settings.mcp.detail.addEnvVarPassthrough":"ਵੇਰੀਏਬਲ ਜੋੜੋ","settings.mcp.detail.args":"ਤਕਰੀਰਾਂ","settings.mcp.detail.back":"ਵਾਪਸ","settings.mcp.detail.command":"ਲਾਂਚ ਕੀਤੀ ਜਾਣ ਵਾਲੀ ਕਮਾਂਡ","settings.mcp.detail.cwd":"ਵਰਕਿੰਗ ਡਾਇਰੈਕਟਰੀ","settings.mcp.detail.docs":"MCP ਦਸਤਾਵੇਜ਼ੀਕਰਨ ਖੋਲ੍ਹੋ","settings.mcp.detail.docs.link":"ਦਸਤਾਵੇਜ","settings.mcp.detail.envVarPassthrough":"ਵਾਤਾਵਰਣ ਵੇਰੀਏਬਲ ਪਾਸਥਰੂ","settings.mcp.detail.envVars":"ਵਾਤਾਵਰਣ ਵੇਰੀਏਬਲ","settings.mcp.detail.http.addEnvHeader":"ਵੇਰੀਏਬਲ ਜੋੜੋ","settings.mcp.detail.http.addHeader":"ਹੈਡਰ ਜੋੜੋ","settings.mcp.detail.http.bearerToken":"ਧਾਰਕ ਟੋਕਨ env var","settings.mcp.detail.http.envHeaders":"ਵਾਤਾਵਰਣ ਵੇਰੀਏਬਲ ਤੋਂ ਹੈਡਰਸ","settings.mcp.detail.http.headers":"ਹੈਡਰਸ","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"ਨਾਮ","settings.mcp.detail.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.mcp.detail.switchTransportNotice":"ਜੇ ਤੁਸੀਂ MCP ਸਰਵਰ ਟਾਈਪ ਬਦਲਣਾ ਚਾਹੁੰਦੇ ਹੋ, ਤਾਂ ਕਿਰਪਾ ਕਰਕੇ ਪਹਿਲਾਂ ਅਣਇੰਸਟਾਲ ਕਰੋ।","settings.mcp.detail.titleExisting":"{name} MCP ਅੱਪਡੇਟ ਕਰੋ","settings.mcp.detail.titleNew":"ਕਿਸੀ ਕਸਟਮ MCP ਨਾਲ ਕੁਨੈਕਟ ਕਰੋ","settings.mcp.detail.transport.http":"ਸਟਰੀਮੇਬਲ HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"ਅਣਇੰਸਟਾਲ ਕਰੋ","settings.mcp.empty":"ਕੋਈ ਵੀ ਕਸਟਮ MCP ਸਰਵਰ ਕੁਨੈਕਟ ਨਹੀਂ","settings.mcp.myServers":"ਕਸਟਮ ਸਰਵਰ","settings.mcp.partnerServer.description.figma":"ਸਮੁੱਚੇ Figma ਸੰਦਰਭ ਨੂੰ ਸ਼ਾਮਲ ਕਰਕੇ ਬਿਹਤਰ ਕੋਡ ਤਿਆਰ ਕਰਵਾਓ","settings.mcp.partnerServer.description.github":"ਵਰਕਫਲੋ ਨੂੰ ਆਟੋਮੇਟ ਕਰਨ ਅਤੇ ਡਾਟਾ ਐਕਸਟਰੈਕਟ ਕਰਨ ਵਾਸਤੇ GitHub API ਨਾਲ ਏਕੀਕ੍ਰਿਤ ਕਰੋ","settings.mcp.partnerServer.description.linear":"Linear ਦੇ ਮਸਲੇ ਟਰੈਕਿੰਗ ਅਤੇ ਪ੍ਰੋਜੈਕਟ ਮੈਨੇਜਮੈਂਟ ਨਾਲ ਏਕੀਕ੍ਰਿਤ ਕਰੋ","settings.mcp.partnerServer.description.notion":"ਦਸਤਾਵੇਜ ਪੜ੍ਹੋ, ਪੰਨੇ ਅੱਪਡੇਟ ਕਰੋ, ਕਾਰਜ ਪ੍ਰਬੰਧਿਤ ਕਰੋ","settings.mcp.partnerServer.description.playwright":"ਡਿਜਾਈਨ ਅਤੇ ਟੈਸਟ UI ਨੂੰ ਇੰਪਲੀਮੈਂਟ ਕਰਨ ਲਈ ਬ੍ਰਾਊਜ਼ਰ ਆਟੋਮੇਸ਼ਨ ਨੂੰ ਏਕੀਕ੍ਰਿਤ ਕਰੋ।","settings.mcp.partnerServer.install":"ਸਥਾਪਿਤ ਕਰੋ","settings.mcp.partnerServer.installAndAuthenticate":"ਇੰਸਟਾਲ ਅਤੇ ਪ੍ਰਮਾਣੀਕਰਨ ਕਰੋ","settings.mcp.partnerServer.logoAlt":"{label} ਲੋਗੋ","settings.mcp.partnerServer.manage":"ਪ੍ਰਬੰਧਨ ਕਰੋ","settings.mcp.partnerServer.vendor":"{vendor} ਵੱਲੋਂ","settings.mcp.recommendedServers":"ਸੁਝਾਏ ਸਰਵਰ","settings.mcp.restartApp":"ਰੀਸਟਾਰਟ","settings.mcp.restartExtension":"ਐਕਸਟੈਂਸ਼ਨ ਰੀਸਟਾਰਟ ਕਰੋ","settings.mcp.server.enable":"ਚਾਲੂ ਕਰੋ","settings.mcp.server.login":"ਪ੍ਰਮਾਣੀਕਰਨ","settings.mcp.server.settings":"ਸੈਟਿੰਗਾਂ","settings.multiselect.createOption":'"{value}" ਬਣਾਓ',"settings.multiselect.removeOption":"ਹਟਾਉ","settings.nav.account":"ਖਾਤਾ","settings.nav.agent":"ਬਣਤਰ","settings.nav.ariaLabel":"ਸੈਟਿੰਗਾਂ","settings.nav.back":"ਐਪ ਵੱਲ ਵਾਪਸ","settings.nav.data-controls":"ਪੁਰਾਲੇਖ ਕੀਤੇ ਥ੍ਰੈਡ","settings.nav.environments":"ਕਲਾਊਡ ਵਾਤਾਵਰਣ","settings.nav.externalTooltip":"[alpha] ਬ੍ਰਾਊਜ਼ਰ ਵਿੱਚ ਖੁੱਲ੍ਹਦਾ ਹੈ","settings.nav.general-settings":"ਆਮ","settings.nav.git-settings":"Git","settings.nav.local-environments":"ਵਾਤਾਵਰਣ","settings.nav.mcp-settings":"MCP ਸਰਵਰ","settings.nav.notImplemented":"[alpha] ਐਲਫਾ ਵਿੱਚ ਉਪਲਬਧ ਨਹੀਂ","settings.nav.personalization":"ਵਿਅਕਤੀਗਤ ਬਣਾਉਣਾ","settings.nav.skills-settings":"ਹੁਨਰ","settings.nav.usage-analytics":"ਵਰਤੋਂ ਅਤੇ ਵਿਸ਼ਲੇਸ਼ਣ","settings.nav.worktrees":"ਵਰਕਟਰੀ","settings.openSourceLicenses.back":"ਵਾਪਸ","settings.openSourceLicenses.loading":"ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","settings.openSourceLicenses.missing":"ਕੋਈ ਤੀਜੀ-ਧਿਰ ਸੂਚਨਾ ਨਹੀਂ ਮਿਲੀ।","settings.openSourceLicenses.notSupported":"ਇਸ ਹੋਸਟ ਵਿੱਚ ਉਪਲਬਧ ਨਹੀਂ।","settings.openSourceLicenses.rowDescription":"ਬੰਡਲਡ ਡਿਪੈਂਡੇਂਸੀਜ਼ ਲਈ ਤੀਜੀ-ਧਿਰ ਸੂਚਨਾਵਾਂ","settings.openSourceLicenses.rowLabel":"ਓਪਨ ਸੋਰਸ ਲਾਇਸੰਸਜ਼","settings.openSourceLicenses.subtitle":"ਇਸ ਐਪ ਵਿੱਚ ਸ਼ਾਮਲ ਡਿਪੈਂਡੇਂਸੀਜ਼ ਲਈ ਤੀਜੀ-ਧਿਰ ਸੂਚਨਾਵਾਂ","settings.openSourceLicenses.title":"ਓਪਨ ਸੋਰਸ ਲਾਇਸੰਸਜ਼","settings.openSourceLicenses.view":"ਦੇਖੋ","settings.personalization.agents.description":"ਹਦਾਇਤਾਂ ਐਡਿਟ ਕਰੋ ਜੋ Codex ਤੁਹਾਡੇ ਅਨੁਕੂਲ ਬਣਾਉਂਦਾ ਹੈ। {learnMore}","settings.personalization.agents.learnMore":"ਵਧੇਰੇ ਜਾਣੋ","settings.personalization.agents.loadError":"agents.md ਨੂੰ ਲੋਡ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ।","settings.personalization.agents.loading":"agents.md ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ","settings.personalization.agents.placeholder":"ਆਪਣੀਆਂ ਕਸਟਮ ਹਦਾਇਤਾਂ ਜੋੜੋ","settings.personalization.agents.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","settings.personalization.agents.save":"ਸੁਰੱਖਿਅਤ ਕਰੋ","settings.personalization.agents.save.error":"agents.md ਨੂੰ ਸੁਰੱਖਿਅਤ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","settings.personalization.agents.save.success":"agents.md ਸੁਰੱਖਿਅਤ ਕੀਤਾ","settings.personalization.agents.title":"ਕਸਟਮ ਹਦਾਇਤਾਂ","settings.personalization.personality.description":"ਕੋਡੈਕਸ ਜਵਾਬਾਂ ਲਈ ਇੱਕ ਡਿਫੌਲਟ ਟੋਨ ਚੁਣੋ","settings.personalization.personality.label":"ਵਿਅਕਤੀਤਤਵ","settings.sample.contentBody":"ਇਸ ਲੇਆਉਟ ਦੀ ਵਰਤੋਂ ਆਪਣੇ ਸੈਟਿੰਗ ਪੈਨਲਾਂ ਨੂੰ ਇਕਸਾਰ ਸਪੇਸਿੰਗ ਨਾਲ ਬਣਾਉਣ ਲਈ ਕਰੋ।","settings.sample.contentTitle":"ਸੈਂਪਲ ਕੰਟੈਂਟ ਬਲੌਕ","settings.section.account":"ਖਾਤਾ","settings.section.agent":"ਬਣਤਰ","settings.section.data-controls":"ਪੁਰਾਲੇਖ ਕੀਤੇ ਥ੍ਰੈਡ","settings.section.environments":"ਕਲਾਊਡ ਵਾਤਾਵਰਣ","settings.section.external":"ਐਲਫਾ ਦੌਰਾਨ ਤੁਹਾਡੇ ਬ੍ਰਾਊਜ਼ਰ ਵਿੱਚ ਖੋਲ੍ਹਦਾ ਹੈ","settings.section.general-settings":"ਆਮ","settings.section.git-settings":"Git","settings.section.local-environments":"ਵਾਤਾਵਰਣ","settings.section.mcp-settings":"MCP ਸਰਵਰ","settings.section.mcp-settings.docs":"ਦਸਤਾਵੇਜ","settings.section.mcp-settings.subtitle":"ਬਾਹਰੀ ਟੂਲ ਅਤੇ ਡਾਟਾ ਸ੍ਰੋਤ ਕੁਨੈਕਟ ਕਰੋ","settings.section.personalization":"ਵਿਅਕਤੀਗਤ ਬਣਾਉਣਾ","settings.section.skills-settings":"ਹੁਨਰ","settings.section.unavailable":"ਅਜੇ ਐਲਫਾ ਵਿੱਚ ਉਪਲਬਧ ਨਹੀਂ","settings.section.usage-analytics":"ਵਰਤੋਂ ਅਤੇ ਵਿਸ਼ਲੇਸ਼ਣ","settings.section.worktrees":"ਵਰਕਟਰੀ","settings.threadDetail.description":"ਚੁਣੋ ਕਿ ਥ੍ਰੈੱਡਾਂ ਵਿੱਚ ਕਿੰਨਾ ਕਮਾਂਡ ਆਉਟਪੁੱਟ ਦਿਖਾਉਣਾ ਹੈ।","settings.threadDetail.label":"ਥ੍ਰੈਡ ਵੇਰਵਾ","settings.worktrees.conversation.untitled":"ਬਿਨ੍ਹਾਂ ਸਿਰਲੇਖ ਗੱਲਬਾਤ","settings.worktrees.delete.error":"ਵਰਕਟਰੀ ਨੂੰ ਡਿਲੀਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ।","settings.worktrees.empty.body":"Codex ਵੱਲੋਂ ਬਣਾਏ ਵਰਰਟਰੀ ਇੱਥੇ ਦਿਖਾਈ ਦੇਣਗੇ।","settings.worktrees.empty.title":"ਅਜੇ ਕੋਈ ਵਰਕਟਰੀ ਨਹੀਂ","settings.worktrees.error.body":"ਵਰਕਟਰੀ ਲੋਡ ਕਰਨ ਵੇਲੇ ਕੁਝ ਗੜਬੜ ਹੋਈ।","settings.worktrees.error.retry":"ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ","settings.worktrees.error.title":"ਵਰਕਟਰੀ ਲੋਡ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","settings.worktrees.loading.body":"ਵਰਕਟਰੀ ਵੇਰਵੇ ਪ੍ਰਾਪਤ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ।","settings.worktrees.loading.title":"ਵਰਕਟਰੀ ਲੋਡ ਹੋ ਰਹੇ ਹਨ","settings.worktrees.repository.loading":"ਰੀਪੌਜ਼ੀਟਰੀ ਮੈਟਾਡਾਟਾ ਲੋਡ ਹੋ ਰਿਹਾ ਹੈ...","settings.worktrees.repository.unknown":"ਅਣਜਾਣ ਰੀਪੌਜ਼ੀਟਰੀਆਂ","settings.worktrees.row.conversations":"ਗੱਲਬਾਤਾਂ","settings.worktrees.row.conversations.empty":"ਇਸ ਵਰਕਟਰੀ ਨਾਲ ਕੋਈ ਗੱਲਬਾਤ ਲਿੰਕ ਨਹੀਂ ਹੈ।","settings.worktrees.row.conversations.loading":"ਗੱਲਬਾਤ ਲੋਡ ਕੀਤੀ ਜੀ ਰਹੀ ਹੈ...","settings.worktrees.row.delete":"ਮਿਟਾਓ","settings.worktrees.row.title":"ਵਰਕਟਰੀ","sidebarElectron.addWorkspaceRoot":"ਨਵਾਂ ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","sidebarElectron.archiveThread":"ਥ੍ਰੈਡ ਪੁਰਾਲੇਖਬੱਧ ਕਰੋ","sidebarElectron.archiveThreadError":"ਥ੍ਰੈਡ ਪੁਰਾਲੇਖਬੱਧ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","sidebarElectron.collapseFolder":"ਫੋਲਡਰ ਬੰਦ ਕਰੋ","sidebarElectron.createStableWorktree.dialog.cancel":"ਰੱਦ ਕਰੋ","sidebarElectron.createStableWorktree.dialog.create":"ਬਣਾਉ","sidebarElectron.debugNavLink":"ਡੀਬੱਗ","sidebarElectron.editWorkspaceRootOptionName":"ਨਾਮ ਸੰਪਾਦਨ ਕਰੋ","sidebarElectron.expandFolder":"ਫੋਲਡਰ ਵਧਾਓ","sidebarElectron.groupByMenu.recency":"ਕ੍ਰਮਵਾਰ ਸੂਚੀ","sidebarElectron.groupByMenu.title":"ਸੰਸਥਾਗਤ ਕਰੋ","sidebarElectron.groupByMenu.workspace":"ਪ੍ਰੋਜੈਕਟ ਦੁਆਰਾ","sidebarElectron.inboxRouteNavLink":"ਆਟੋਮੇਸ਼ਨਾਂ","sidebarElectron.markThreadUnread":"ਅਨਰੀਡ ਵਜੋਂ ਮਾਰਕ ਕਰੋ","sidebarElectron.missingWorkspaceRoot":"ਇਹ ਪ੍ਰੋਜੈਕਟ ਫੋਲਡਰ ਮਿਟਾ ਦਿੱਤਾ ਗਿਆ ਸੀ ਜਾਂ ਸਥਾਨ ਬਦਲ ਦਿੱਤਾ ਗਿਆ ਸੀ।","sidebarElectron.newThread":"ਨਵਾਂ ਥ੍ਰੈੱਡ","sidebarElectron.newThreadInGroup":"{folder} ਵਿੱਚ ਨਵਾਂ ਥ੍ਰੈਡ ਸ਼ੁਰੂ ਕਰੋ","sidebarElectron.noRecentThreads":"ਕੋਈ ਹਾਲੀਆ ਥ੍ਰੈਡ ਨਹੀਂ","sidebarElectron.noTasks":"ਕੋਈ ਥ੍ਰੈਡ ਨਹੀਂ","sidebarElectron.noTasks.start":"ਨਵਾਂ ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","sidebarElectron.noTasksWithFilter":"ਕੋਈ ਫਿਲਟਰ ਨਾਲ ਮੇਲ ਖਾਂਦੇ ਥ੍ਰੈਡ ਨਹੀਂ","sidebarElectron.pinnedThreads":"ਪਿੰਨ ਕੀਤੇ ਥ੍ਰੈਡ","sidebarElectron.recentNavLink":"ਥਰੈਡਸ","sidebarElectron.recentThreads":"ਹਾਲੀਆ ਥ੍ਰੈਡ","sidebarElectron.removeWorkspaceRootOption":"ਹਟਾਉ","sidebarElectron.renameThread":"ਥ੍ਰੈਡ ਦਾ ਨਾਮ ਬਦਲੋ","sidebarElectron.renameThreadDialogAriaLabel":"ਥ੍ਰੈਡ ਸਿਰਲੇਖ","sidebarElectron.renameThreadDialogCancel":"ਰੱਦ ਕਰੋ","sidebarElectron.renameThreadDialogPlaceholder":"ਇੱਕ ਸਿਰਲੇਖ ਸ਼ਾਮਲ ਕਰੋ...","sidebarElectron.renameThreadDialogSave":"ਸੁਰੱਖਿਅਤ ਕਰੋ","sidebarElectron.renameThreadDialogSubtitle":"ਇਸਨੂੰ ਛੋਟਾ ਅਤੇ ਪਛਾਨਣਯੋਗ ਰੱਖੋ।","sidebarElectron.renameThreadDialogTitle":"ਥ੍ਰੈਡ ਦਾ ਨਾਮ ਬਦਲੋ","sidebarElectron.renameThreadError":"ਥ੍ਰੈਡ ਦਾ ਨਾਮ ਬਦਲਣ ਵਿੱਚ ਅਸਫਲ","sidebarElectron.renameWorkspaceRootOptionLabel":"ਡਿਸਪਲੇਅ ਨਾਮ","sidebarElectron.showLess":"ਘੱਟ ਦਿਖਾਉ","sidebarElectron.showMenu.all":"ਸਾਰੇ ਥਰੈਡਸ","sidebarElectron.showMenu.relevant":"ਸਾਰਥਕ","sidebarElectron.showMenu.relevantHint":"ਮੌਜੂਦਾ ਸ਼ਾਖਾ, ਵਰਕਟਰੀਜ਼, ਜਾਂ ਹੋਰ ਥਰੈਡਾਂ ਜਿਨ੍ਹਾਂ ਨੂੰ ਤੁਹਾਡੇ ਧਿਆਨ ਦੀ ਲੋੜ੍ਹ ਹੈ, ਕੇਵਲ ਉਨ੍ਹਾਂ ਲਈ ਹਾਲੀਆ ਥਰੈਡ ਦਿਖਾਉ","sidebarElectron.showMenu.title":"ਦਿਖਾਓ","sidebarElectron.showMenu.tooltip":"ਫਿਲਟਰ ਕਰੋ, ਸੌਰਟ ਕਰੋ ਅਤੇ ਥ੍ਰੈਡਾਂ ਨੂੰ ਵਿਵਸਥਿਤ ਕਰੋ","sidebarElectron.showMenu.trigger":"ਸਾਈਡਬਾਰ ਥ੍ਰੈਡ ਫਿਲਟਰ ਕਰੋ","sidebarElectron.showMore":"ਹੋਰ ਦਿਖਾਉ","sidebarElectron.skillsRouteNavLink":"ਹੁਨਰ","sidebarElectron.sortMenu.created":"ਬਣਾਇਆ ਗਿਆ","sidebarElectron.sortMenu.title":"ਇਸ ਰਾਹੀਂ ਕ੍ਰਮ ਕਰੋ","sidebarElectron.sortMenu.updated":"ਅੱਪਡੇਟ ਕੀਤਾ ਗਿਆ","sidebarElectron.taskNavigation":"ਆਟੋਮੇਸ਼ਨ ਫੋਲਡਰ","sidebarElectron.tasksInFolder":"{folder} ਵਿੱਚ ਆਟੋਮੇਸ਼ਨਾਂ","sidebarElectron.workspaceOptions":"{folder} ਲਈ ਪ੍ਰੋਜੈਕਟ ਕਾਰਵਾਈਆਂ","sidebarElectron.worktreeGroupTooltip":"ਇਹ git ਵਰਕਟਰੀ ਹੈ","skills.appsPage.createSkill":"ਨਵਾਂ ਸਕਿੱਲ","skills.appsPage.empty.skills":"ਕੋਈ ਹੁਨਰ ਨਹੀਂ ਲੱਭਿਆ ਗਿਆ","skills.appsPage.search.skills":"ਹੁਨਰ ਖੋਜੋ","skills.appsPage.search.skills.label":"ਹੁਨਰ ਖੋਜੋ","skills.appsPage.section.installedApps":"ਇੰਸਟਾਲ ਹੈ","skills.appsPage.section.skills":"ਹੁਨਰ","skills.appsPage.subheading":"codex ਨੂੰ ਸੁਪਰਪਾਵਰਜ਼ ਦਿਓ। <link>ਵਧੇਰੇ ਜਾਣੋ</link>","skills.appsPage.tab.recommended":"ਸੁਝਾਇਆ","skills.appsPage.tab.skills":"ਹੁਨਰ","skills.card.contentsError":"ਸਕਿੱਲ ਕੰਟੈਂਟ ਲੋਡ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ।","skills.card.disable":"ਅਸਮਰੱਥ ਕਰੋ","skills.card.disableSuccess":"{skillName} ਸਕਿੱਲ ਬੰਦ","skills.card.disabledBadge":"ਬੰਦ ਕੀਤਾ","skills.card.enable":"ਚਾਲੂ ਕਰੋ","skills.card.enableSuccess":"{skillName} ਸਕਿੱਲ ਚਾਲੂ","skills.card.loadingContents":"ਸਕਿੱਲ ਕੰਟੈਂਟ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","skills.card.more":"ਵਧੇੇਰੇ ਕਾਰਵਾਈਆਂ","skills.card.open":"ਖੋਲ੍ਹੋ","skills.card.removeFailed":"ਹੁਨਰ ਨੂੰ ਇੰਸਟਾਲ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","skills.card.removeSuccess":"{skillName} ਸਕਿੱਲ ਅਨਇੰਸਟਾਲ ਕੀਤਾ","skills.card.toggleEnabledError":"ਸਕਿੱਲ ਅੱਪਡੇਟ ਕਰਨ ਵਿੱਚ ਅਸਫਲ","skills.card.try":"ਅਜਮਾਓ","skills.card.trySkill":"ਸਕਿੱਲ ਅਜਮਾਓ","skills.card.uninstall":"ਅਣਇੰਸਟਾਲ ਕਰੋ","skills.hero.dotLabel":"{index} ਸਲਾਈਡ ’ਤੇ ਜਾਉ","skills.hero.next":"ਅਗਲਾ ਫੀਚਰ ਸਕਿੱਲ","skills.hero.trySkill":"ਸਕਿੱਲ ਅਜਮਾਓ","skills.page.createSkill":"ਨਵਾਂ ਸਕਿੱਲ","skills.page.empty":"ਕੋਈ ਹੁਨਰ ਨਹੀਂ ਲੱਭਿਆ ਗਿਆ","skills.page.filteredEmpty":"ਕੋਈ ਵੀ ਸਕਿੱਲ ਤੁਹਾਡੇ ਫਿਲਟਰ ਨਾਲ ਮੈਚ ਨਹੀਂ ਕਰਦੇ","skills.page.filteredEmptyDescription":"ਆਪਣੀ ਖੋਜ ਜਾਂ ਸਕੋਪ ਫਿਲਟਰ ਨੂੰ ਅਡਜਸਟ ਕਰਨ ਦੀ ਕੋਸ਼ਿਸ਼ ਕਰੋ","skills.page.heading":"ਹੁਨਰ","skills.page.loading":"ਹੁਨਰ ਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","skills.page.refreshSkills":"ਰੀਫਰੈਸ਼","skills.page.refreshSkillsToUseNew":"ਨਵੇਂ ਹੁਨਰਾਂ ਦੀ ਵਰਤੋਂ ਕਰਨ ਲਈ ਰੀਫਰੈਸ਼ ਕਰੋ","skills.page.search":"ਹੁਨਰ ਖੋਜੋ","skills.page.search.label":"ਹੁਨਰ ਖੋਜੋ","skills.page.subheading":"codex ਨੂੰ ਸੁਪਰਪਾਵਰਜ਼ ਦਿਓ। <link>ਵਧੇਰੇ ਜਾਣੋ</link>","skills.preview.copyPrompt":"ਪ੍ਰੋਂਪਟ ਕਾਪੀ ਕਰੋ","skills.preview.examplePrompt":"ਪ੍ਰੋਂਪਟ ਦੀ ਉਦਾਹਰਣ","skills.recommended.error":"ਸੁਝਾਏ ਗਏ ਸਕਿੱਲ ਲੋਡ ਕਰਨ ਤੋਂ ਅਸਮਰੱਥ","skills.recommended.install":"ਸਥਾਪਿਤ ਕਰੋ","skills.recommended.installSkill":"ਹੁਨਰ ਇੰਸਟਾਲ ਕਰੋ","skills.recommended.installSuccess":"{skillName} ਸਕਿੱਲ ਇੰਸਟਾਲ ਕੀਤੀ","skills.recommended.installed":"ਇੰਸਟਾਲ ਹੈ","skills.scope.admin":"ਪ੍ਰਬੰਧਕ","skills.scope.adminInstalled":"ਪ੍ਰਬੰਧਕ ਇੰਸਟਾਲ ਹੈ","skills.scope.builtIn":"ਸਿਸਟਮ","skills.scope.personal":"ਵਿਅਕਤੀਗਤ","skills.scope.repo":"ਰੀਪੋ","skills.scope.system":"ਸਿਸਟਮ","skills.scope.team":"ਟੀਮ","skills.scope.user":"ਵਰਤੋਂਕਾਰ","skills.section.installed":"ਇੰਸਟਾਲ ਹੈ","skills.section.recommended":"ਸੁਝਾਇਆ","story.slidingToggle.existing":"ਮੌਜੂਦਾ","story.slidingToggle.fromLocal":"ਲੋਕਲ ਤੋਂ","story.slidingToggle.new":"ਨਵਾਂ","story.slidingToggle.toLocal":"ਲੋਕਲ ਨੂੰ","terminal.close":"ਟਰਮੀਨਲ ਬੰਦ ਕਰੋ","terminal.title":"ਟਰਮੀਨਲ","thinkingShimmer.default":"ਸੋਚ ਰਿਹਾ ਹੈ","threadEnvIcon.cloudTooltip":"ਇਹ ਗੱਲਬਾਤ ਕਿਸੇ Codex ਕਲਾਊਡ ਵਿੱਚ ਚੱਲ ਰਹੀ ਹੈ।","threadEnvIcon.localTooltip":"ਇਹ ਗੱਲਬਾਤ ਲੋਕਲੀ ਰਨ ਕਰ ਰਹੀ ਹੈ।","threadEnvIcon.worktreeTooltip":"ਇਹ ਗੱਲਬਾਤ ਕਿਸੇ ਸਥਾਨਕ git ਵਰਕਟਰੀ ਵਿੱਚ ਚੱਲ ਰਹੀ ਹੈ।","threadHeader.archiveConfirmCancel":"ਰੱਦ ਕਰੋ","threadHeader.archiveConfirmConfirm":"ਪੁਰਾਲੇਖ","threadHeader.archiveConfirmSubtitle":"ਤੁਸੀਂ ਬਾਅਦ ਵਿੱਚ ਆਪਣੇ ਪੁਰਾਲੇਖ ਕੀਤੇ ਥ੍ਰੈਡ ਦੇਖ ਸਕਦੇ ਹੋ।","threadHeader.archiveConfirmTitle":"ਥ੍ਰੈਡ ਪੁਰਾਲੇਖ ਕਰੋ","threadHeader.copyAppLink":"ਡੀਪਲਿੰਕ ਕਾਪੀ ਕਰੋ","threadHeader.copySessionId":"ਸੈਸ਼ਨ id ਕਾਪੀ ਕੀਤੀ","threadHeader.copyWorkingDirectory":"ਵਰਕਿੰਗ ਡਾਇਰੈਕਟਰੀ ਕਾਪੀ ਕਰੋ","threadHeader.forkIntoLocal":"ਲੋਕਲ ਵਿੱਚ ਫੋਰਕ","threadHeader.forkIntoWorktree":"ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਫੋਰਕ ਕਰੋ","threadHeader.forkPendingWorktreePrompt":"ਇਸ ਗੱਲਬਾਤ ਨੂੰ ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਫੋਰਕ ਕਰੋ।","threadHeader.forkPendingWorktreeTitle":"ਫੋਰਕ ਕੀਤੀ ਗੱਲਬਾਤ","threadHeader.forkThreadError":"ਥ੍ਰੈਡ ਨੂੰ ਫੋਰਕ ਕਰਨਾ ਅਸਫਲ","threadHeader.forkThreadRequiresGitRepo":"ਨਵੇਂ ਵਰਕਟਰੀ ਵਿੱਚ ਜਾਣ ਲਈ ਇੱਕ ਗਿੱਟ ਰਿਪੋਜ਼ਟਰੀ ਦੀ ਲੋੜ ਹੁੰਦੀ ਹੈ","threadHeader.moreActions":"ਥ੍ਰੈਡ ਕਾਰਵਾਈਆਂ","threadPage.newThread":"ਨਵਾਂ ਥ੍ਰੈੱਡ","threadPage.runAction.changeEnvironment":"ਵਾਤਾਵਰਣ ਬਦਲੋ","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} ਕਾਰਵਾਈਆਂ","threadPage.runAction.environmentSelector.label":"ਵਾਤਾਵਰਣ ਚੁਣੋ","threadPage.runAction.label":"ਰਨ ਕਰੋ","threadPage.runAction.missing.label":"ਇੱਕ ਰਨ ਐਕਸ਼ਨ ਸੈੱਟ ਅੱਪ ਕਰੋ","threadPage.runAction.setup.commandLabel":"ਰਨ ਕਰਨ ਲਈ ਕਮਾਂਡ ਦਿਓ","threadPage.runAction.setup.description":"Codex ਨੂੰ ਦੱਸੋ ਕਿ ਨਿਰਭਰਤਾਵਾਂ ਨੂੰ ਇੰਸਟਾਲ ਕਿੰਝ ਕਰਨਾ ਹੈ ਅਤੇ ਆਪਣੀ ਐਪ ਨੂੰ ਸ਼ੁਰੂ ਕਿੰਝ ਕਰਨਾ ਹੈ।","threadPage.runAction.setup.editMore":"ਵਾਤਾਵਰਣ ਸੈਟਿੰਗਾਂ","threadPage.runAction.setup.placeholder":"ਉਦਾਹਰਣ ਵਜੋਂ: npm ਇੰਸਟਾਲ npm ਰਨ","threadPage.runAction.setup.submit":"ਸੁਰੱਖਿਅਤ ਕਰੋ ਅਤੇ ਰਨ ਕਰੋ","threadPage.runAction.setup.title":"ਰਨ ਕਰੋ","threadPage.runAction.tooltip.withEnvironment":"{environmentName} ਕਾਰਵਾਈਆਂ","threadPage.toggleDiffPanel":"ਡਿੱਫ ਪੈਨਲ ਬਦਲੋ","threadPage.toggleTerminal":"ਟਰਮੀਨਲ ਟੋਗਲ ਕਰੋ","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ਫੋਲਡਰ ਖੋਲ੍ਹੋ","toolSummaryForCmd.exploredFiles":"<verb>ਸੂਚੀਬੱਧ</verb> ਕੀਤੀਆਂ ਫਾਈਲਾਂ","toolSummaryForCmd.exploredFilesInPath":"{path} ਵਿੱਚ ਫਾਈਲਾਂ <verb>ਸੂਚੀਬੱਧ</verb> ਕੀਤੀਆਂ","toolSummaryForCmd.exploringFiles":"ਫਾਈਲਾਂ <verb>ਸੂਚੀਬੱਧ</verb> ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ","toolSummaryForCmd.exploringFilesInPath":"{path} ਵਿੱਚ ਫਾਈਲਾਂ <verb>ਸੂਚੀਬੱਧ</verb> ਕੀਤੀਆਂ ਜਾ ਰਹੀਆਂ ਹਨ","toolSummaryForCmd.ranGenericCommand":"<status>ਕਮਾਂਡ ਰਨ ਕੀਤੀ</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ran</status> {command}{timer}","toolSummaryForCmd.read":"{path} <verb>ਪੜ੍ਹੋ</verb>","toolSummaryForCmd.runningGenericCommand":"<status>ਕਮਾਂਡ ਰਨ ਕੀਤੀ</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} ਲਈ","toolSummaryForCmd.searchedFor":"{query} ਲਈ <verb>ਖੋਜ ਕੀਤੀ</verb>","toolSummaryForCmd.searchedForFiles":"ਫਾਈਲਾਂ <verb>ਲਈ ਖੋਜ ਕੀਤੀ</verb>","toolSummaryForCmd.searchedForInPath":"{path} ਵਿੱਚ {query} ਲਈ <verb>ਖੋਜ ਕੀਤੀ</verb>","toolSummaryForCmd.searchingFor":"{query} ਲਈ <verb>ਖੋਜ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ</verb>","toolSummaryForCmd.searchingForFiles":"ਫਾਈਲਾਂ ਲਈ <verb>ਖੋਜ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ</verb>","toolSummaryForCmd.searchingForInPath":"{path}ਵਿੱਚ {query} ਲਈ <verb>ਲਈ ਖੋਜ ਕੀਤੀ ਜਾ ਰਹੀ ਹੈ</verb>","traceRecording.details.noteLabel":"ਜਦੋਂ ਇਹ ਹੋਇਆ ਤਾਂ ਤੁਸੀਂ ਕੀ ਕਰ ਰਹੇ ਸੀ? (ਵਿਕਲਪਿਕ)","traceRecording.details.notePlaceholder":"ਇੱਕ ਵੱਡੇ ਥ੍ਰੈੱਡ 'ਤੇ ਨੈਵੀਗੇਟ ਕੀਤਾ, ਫਿਰ ਵਾਰ-ਵਾਰ ਟੈਬਾਂ ਬਦਲੀ ਕੀਤੀਆਂ...","traceRecording.details.submit":"ਟ੍ਰੇਸ ਭੇਜੋ","traceRecording.details.subtitle":"ਅਸੀਂ ਪ੍ਰਦਰਸ਼ਨ ਸਮੱਸਿਆਵਾਂ ਦੀ ਪਛਾਣ ਕਰਨ ਵਿੱਚ ਮਦਦ ਲਈ ਇਹ ਪ੍ਰੋਫਾਈਲ ਟਰੇਸ ਭੇਜ ਸਕਦੇ ਹਾਂ।","traceRecording.details.title":"ਪ੍ਰੋਫਾਈਲ ਟਰੇਸ ਭੇਜਣਾ ਹੈ?","traceRecording.progress.subtitle":"ਜਦੋਂ ਤੱਕ ਇਹ ਪੂਰਾ ਹੋ ਜਾਂਦਾ ਹੈ, Codex ਨੂੰ ਖੁੱਲ੍ਹਾ ਰੱਖੋ।","traceRecording.saving.title":"ਟਰੇਸ ਸੇਵ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","traceRecording.startDetails.cancel":"ਰੱਦ ਕਰੋ","traceRecording.startDetails.submit":"ਠੀਕ ਹੈ, ਰਿਕਾਰਡਿੰਗ ਸ਼ੁਰੂ ਕਰੋ","traceRecording.startDetails.subtitle":"ਠੀਕ ਹੈ 'ਤੇ ਕਲਿੱਕ ਕਰਨ ਤੋਂ ਬਾਅਦ, ਪ੍ਰਦਰਸ਼ਨ ਮੁੱਦੇ ਨੂੰ ਦੁਬਾਰਾ ਤਿਆਰ ਕਰੋ, ਫਿਰ ਟਰੇਸ ਨੂੰ ਰੋਕਣ ਅਤੇ ਸਮੀਖਿਆ ਕਰਨ ਲਈ ਫਲੋਟਿੰਗ ਲਾਲ ਸੂਚਕ 'ਤੇ ਕਲਿੱਕ ਕਰੋ।","traceRecording.startDetails.title":"ਟਰੇਸ ਰਿਕਾਰਡਿੰਗ ਕਿੰਝ ਕੰਮ ਕਰਦੀ ਹੈ","traceRecording.stopButton.ariaLabel":"ਟਰੇਸ ਰਿਕਾਰਡਿੰਗ ਬੰਦ ਕਰੋ","traceRecording.upload.successToast":"ਪ੍ਰੋਫਾਈਲ ਟਰੇਸ ਭੇਜਿਆ।","traceRecording.uploading.title":"ਟਰੇਸ ਅੱਪਲੋਡ ਕੀਤੇ ਜਾ ਰਹੇ ਹਨ...","wham.diff.addComment":"ਟਿੱਪਣੀ ਜੋੜੋ","wham.diff.binaryFile":"ਬਾਈਨਰੀ ਫਾਈਲ ਨਹੀਂ ਦਿਖਾਈ ਗਈ","wham.diff.noContent":"ਕੋਈ ਸਮੱਗਰੀ ਨਹੀਂ","wham.fileTag.deleted":"ਮਿਟਾਇਆ ਗਿਆ","wham.fileTag.new":"ਨਵਾਂ","wham.formattedRelativeDateTime.compactDaysAgo":"{value}ਦਿ","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ਘੰ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}ਮਿੰ","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}ਮਹੀ","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}ਹਫ","wham.formattedRelativeDateTime.compactYearsAgo":"{value}ਸਾ","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"ਤੁਹਾਡੇ ਕਾਰਜਾਂ ’ਤੇ ਕੰਮ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ","wham.whamProposedTask.title":"ਸੁਝਾਏ ਗਏ ਕਾਰਜ","wham.whamProposedTask.useSuggestion":"ਸੁਝਾਅ ਦੀ ਵਰਤੋਂ ਕਰੋ","workspaceRootDialog.addError":"ਪ੍ਰੋਜੈਕਟ ਜੋੜਨ ਵਿੱਚ ਅਸਫਲ","workspaceRootDialog.cancel":"ਰੱਦ ਕਰੋ","workspaceRootDialog.confirmAdd":"ਪ੍ਰੋਜੈਕਟ ਸ਼ਾਮਲ ਕਰੋ","workspaceRootDialog.confirmPick":"ਪ੍ਰੋਜੈਕਟ ਦੀ ਵਰਤੋਂ ਕਰੋ","workspaceRootDialog.description":"ਪ੍ਰੋਜੈਕਟ ਵਜੋਂ ਵਰਤੋਂ ਕਰਨ ਲਈ ਇੱਕ {host} ਪਾਥ ਦਰਜ ਕਰੋ।","workspaceRootDialog.pathLabel":"ਪ੍ਰੋਜੈਕਟ ਦਾ ਪਾਥ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"ਪ੍ਰੋਜੈਕਟ ਪਾਥ ਸ਼ਾਮਲ ਕਰੋ","workspaceRootDialog.title.pick":"ਪ੍ਰੋਜੈਕਟ ਦੇ ਰਾਹ ਦੀ ਚੌਣ ਕਰੋ","worktreeInitV2.cancel":"ਰੱਦ ਕਰੋ","worktreeInitV2.notification.failedTitle":"ਵਰਕਟਰੀ ਸੈੱਟਅੱਪ ਅਸਫਲ।","worktreeInitV2.output.empty":"ਆਉਟਪੁੱਟ ਲਈ ਉਡੀਕ ਵਿੱਚ...","worktreeInitV2.status.error":"ਵਰਕਟਰੀ ਸੈੱਟਅੱਪ ਅਸਫਲ।","worktreeInitV2.status.running":"ਇੱਕ ਵਰਕਟਰੀ ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ ਅਤੇ ਸੈੱਟਅੱਪ ਰਨ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ।","worktreeInitV2.status.runningFork":"ਇਸ ਗੱਲਬਾਤ ਨੂੰ ਅੱਗੇ ਵਧਾਉਣ ਲਈ ਇੱਕ ਵਰਕਟਰੀ ਬਣਾਈ ਜਾ ਰਹੀ ਹੈ।","worktreeInitV2.status.success":"ਵਰਕਟਰੀ ਤਿਆਰ।","worktreeInitV2.title":"ਵਰਕਟਰੀ ਬਣਾਇਆ ਜਾ ਰਿਹਾ ਹੈ","worktreeInitV2.workLocallyInstead":"ਇਸਦੀ ਬਜਾਇ ਲੋਕਲੀ ਕੰਮ ਕਰੋ","worktreeRestoreBanner.body":"ਇਸ ਥ੍ਰੈੱਡ ਦੇ ਵਰਕਟਰੀ ਨੂੰ ਡਿਸਕ ਸਪੇਸ ਬਚਾਉਣ ਲਈ ਹਟਾ ਦਿੱਤਾ ਗਿਆ ਸੀ।","worktreeRestoreBanner.missing.body":"ਇਸ ਥ੍ਰੈੱਡ ਦੀ ਵਰਕਿੰਗ ਡਾਇਰੈਕਟਰੀ ਹੁਣ ਮੌਜੂਦ ਨਹੀਂ ਹੈ।","worktreeRestoreBanner.missing.title":"ਮੌਜੂਦਾ ਵਰਕਿੰਗ ਡਾਇਰੈਕਟਰੀ ਗੁੰਮ ਗਈ ਹੈ।","worktreeRestoreBanner.restore.error":"ਵਰਕਟਰੀ ਰੀਸਟੋਰ ਕਰਨ ਵਿੱਚ ਅਸਫਲ: {message}","worktreeRestoreBanner.restore.success":"ਵਰਕਟਰੀ ਰੀਸਟੋਰ ਕੀਤਾ ਗਿਆ","worktreeRestoreBanner.restoreCta":"ਵਰਕਟਰੀ ਰੀਸਟੋਰ ਕਰੋ","worktreeRestoreBanner.title":"ਵਰਕਟਰੀ ਸਾਫ਼ ਕੀਤਾ ਗਿਆ"};Object.assign(e,globalThis.codexI18nOverrides?.["pa"]);export{e as default};
 //# sourceMappingURL=pa-rLbG_1An.js.map
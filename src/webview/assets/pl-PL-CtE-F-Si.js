@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopiuj","app.sidebar.hide":"Ukryj pasek boczny","app.sidebar.show":"Pokaż pasek boczny","app.sidebar.tooltip":"Przełącz pasek boczny","appHeader.installUpdate":"Zaktualizuj","appSunset.body":"Ta wersja aplikacji nie jest już obsługiwana. Pobierz najnowszą wersję <here>tutaj</here>.","appSunset.title":"Wymagana aktualizacja","automation.updateDirective.create":"Utwórz","automation.updateDirective.open":"Otwórz","automation.updateDirective.untitled":"Automatyzacja bez tytułu","automation.updateDirective.update":"Zaktualizuj","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# próba} few {# próby} many {# prób} other {# próby}}","cloudTaskRow.archiveError":"Nie udało się zarchiwizować zadania","code.diff.requestChange":"Zmiana żądania","code.diffComment.cancel":"Anuluj","code.diffComment.comment":"Skomentuj","code.diffComment.delete":"Usuń","code.diffComment.save":"Zapisz","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nie zgłoszono żadnych wyników.","codex.alert.closeAriaLabel":"Zamknij","codex.appUpsellBanner.cbpApi.message":"Twórz rozwiązania szybciej przy użyciu aplikacji Codex. Pobierz teraz lub {learnMoreLink}.","codex.appUpsellBanner.download":"Pobierz","codex.appUpsellBanner.freeGo.message":"Codex będzie dostępny w Twoim planie do 2 marca. Wypróbuj aplikację Codex, aby tworzyć rozwiązania szybciej.","codex.appUpsellBanner.later":"Później","codex.appUpsellBanner.learnMoreLowercase":"Więcej informacji","codex.appUpsellBanner.new":"Nowość","codex.appUpsellBanner.proPlusBusiness.message":"Wypróbuj aplikację Codex z podwójnymi limitami zapytań do 2 kwietnia. Pobierz już teraz lub {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikacja Codex","codex.applyDropdown.header.changes":"Zmiany","codex.applyDropdown.header.fileCount":"{count, plural, one {# plik} few {# pliku} many {# pliku} other {# pliku}}","codex.applyDropdown.header.rows":"wiersze","codex.applyDropdown.header.title":"Zastosuj zmiany","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {Konflikt 1 pliku:} few {Konflikt {count} plików:} many {Konflikt {count} plików:} other {Konflikt {count} pliku:}}","codex.applyDropdown.results.empty":"Nie skopiowano plików","codex.applyDropdown.results.skipped":"{count, plural, one {Pominięto 1 plik:} few {Pominięto {count} pliki:} many {Pominięto {count} plików:} other {Pominięto {count} pliku:}}","codex.applyOrRevertBanner.apply":"Zastosuj","codex.applyOrRevertBanner.applyMessage":"Zastosować zmiany i kontynuować lokalnie?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Zadanie zostało wykonane w {environment}, więc możliwe są problemy przy stosowaniu.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Zmiany wprowadzono w {environment}, więc możliwe są problemy przy stosowaniu.","codex.applyOrRevertBanner.reapply":"Zastosuj ponownie","codex.applyOrRevertBanner.revert":"Wycofaj","codex.applyOrRevertBanner.revertMessage":"Wycofać zastosowane zmiany?","codex.applyResultsDialog.applied":"Zastosowano bez problemów ({count})","codex.applyResultsDialog.close":"Zamknij","codex.applyResultsDialog.conflicted":"Konflikty ({count})","codex.applyResultsDialog.noDetails":"Brak szczegółowych danych pliku.","codex.applyResultsDialog.skipped":"Pominięto ({count})","codex.applyResultsDialog.title":"Zastosuj wyniki","codex.archiveInfo":"Wyświetl zarchiwizowane czaty w {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrola danych","codex.archiveInfo.electron":"Wyświetl zarchiwizowane czaty w {settingsLink}.","codex.archiveInfo.extension":"Zobacz zarchiwizowane czaty w folderze .codex.","codex.archiveInfo.settingsLink":"Ustawienia","codex.banner.content.description":"Uruchamiaj zadania równolegle, śledź postęp z dowolnego miejsca i weryfikuj PR z pomocą AI.","codex.banner.content.headline":"Codex potrafi to wszystko.","codex.cloudTaskRow.archiveTask":"Archiwizuj zadanie","codex.cloudTaskRow.confirmArchiveTask":"Potwierdź","codex.command.feedback":"Opinia","codex.command.findInThread":"Znajdź","codex.command.forceReloadSkills":"Wymuś ponowne załadowanie umiejętności","codex.command.logOut":"Wyloguj się","codex.command.manageTasks":"Zarządzaj zadaniami","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Wstecz","codex.command.navigateForward":"Dalej","codex.command.newThread":"Nowy wątek","codex.command.nextThread":"Następny wątek","codex.command.openFolder":"Otwórz folder","codex.command.openSkills":"Przejdź do umiejętności","codex.command.openThreadOverlay":"Otwórz wątek w wyskakującym oknie","codex.command.personalitySettings":"Osobowość","codex.command.previousThread":"Poprzedni wątek","codex.command.settings":"Ustawienia","codex.command.toggleDiffPanel":"Przełącz panel diff","codex.command.toggleSidebar":"Przełącz pasek boczny","codex.command.toggleTerminal":"Przełącz terminal","codex.commandGroup.app":"Aplikacja","codex.commandGroup.configure":"Skonfiguruj","codex.commandGroup.navigation":"Nawigacja","codex.commandGroup.panels":"Panele","codex.commandGroup.skills":"Umiejętności","codex.commandGroup.thread":"Wątek","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Brak wyników","codex.commandMenu.searchPlaceholder":"Polecenia wyszukiwania","codex.commandMenu.suggestedGroup":"Sugerowane osoby","codex.commandMenu.switchWorkspace":"Przełącz projekt","codex.commandMenu.title":"Menu poleceń","codex.common.retry":"Ponów próbę","codex.composer.searchBranches":"Przeszukaj gałęzie","codex.dialog.basic.body":"To jest proste okno modalne korzystające z naszego wrappera do okna Radix.","codex.dialog.basic.cancel":"Anuluj","codex.dialog.basic.confirm":"Potwierdź","codex.dialog.basic.open":"Otwórz okno dialogowe","codex.dialog.basic.title":"Przykładowe okno dialogowe","codex.dialog.long.close":"Zamknij","codex.dialog.long.line":"Przewijana linia {index} ilustrująca obszerną treść wewnątrz okna dialogowego.","codex.dialog.long.open":"Otwórz okno dialogowe z długim tekstem","codex.dialog.long.title":"Okno dialogowe z długim tekstem","codex.dialog.unstyled.body":"Ta historia przedstawia, w jaki sposób elementy wywołujące mogą w pełni kontrolować styl treści okna dialogowego.","codex.dialog.unstyled.open":"Otwórz okno dialogowe bez stylu","codex.dialog.unstyled.title":"Treść bez stylu","codex.diff.openInEditorPrompt.openButton":"Otwórz w edytorze","codex.diff.openInEditorPrompt.singleLine":"Ten plik jest zbyt duży do wyświetlenia w tym miejscu.","codex.diffView.failedToDecodeBase64Diff":"Nie udało się zdekodować diff base64","codex.diffView.filesChanged":"{fileCount, plural, one {Zmieniono # plik} few {Zmieniono # pliki} many {Zmieniono # plików} other {Zmieniono # pliku}}","codex.diffView.imagePreviewAlt":"Podgląd obrazu","codex.diffView.imagePreviewEmpty":"Brak obrazu","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Brak danych diff","codex.diffView.pdfPreview.nextPage":"Następna strona","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Poprzednia strona","codex.diffView.pdfPreviewEmpty":"Brak podglądu pliku PDF","codex.diffView.pdfPreviewError":"Nie udało się wyświetlić podglądu pliku PDF","codex.diffView.richPreviewDisable":"Wyłącz podgląd z formatowaniem","codex.diffView.richPreviewEnable":"Włącz podgląd z formatowaniem","codex.diffView.richPreviewLoading":"Ładowanie podglądu…","codex.diffView.richPreviewToggle":"Przełącz podgląd z formatowaniem","codex.diffView.switchToUnified":"Przełącz na diff ujednolicony","codex.environmentSelector.noEnvironment":"Brak środowiska","codex.environments.environmentSettings":"Ustawienia środowiska","codex.environments.learnMore":"Dowiedz się więcej","codex.environments.listError":"Nie udało się załadować środowisk.","codex.environments.noEnvironmentsFound":"Nie znaleziono żadnych środowisk","codex.environments.searchError":"Nie udało się wyszukać środowisk.","codex.errorBoundary.genericError":"Wystąpił błąd","codex.errorBoundary.goHome":"Spróbuj ponownie","codex.file.patch.missing":"Nie można skompilować poprawki dla tego pliku.","codex.gallery.automations.cwdLabel":"Projekty","codex.gallery.automations.nameLabel":"Nazwa","codex.gallery.automations.namePlaceholder":"Podsumuj zadanie","codex.gallery.automations.promptLabel":"Polecenie","codex.gallery.automations.promptPlaceholder":"Opisz, co powinien zrobić agent Codex","codex.gallery.dialogs.automation.label":"Okno dialogowe automatyzacji","codex.gallery.dialogs.basic.body":"Użyj tego układu w przypadku prostych potwierdzeń lub krótkich formularzy.","codex.gallery.dialogs.basic.cancel":"Anuluj","codex.gallery.dialogs.basic.confirm":"Potwierdź","codex.gallery.dialogs.basic.label":"Podstawowe okno dialogowe","codex.gallery.dialogs.basic.title":"Przykładowe okno dialogowe","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Opisz problem","codex.gallery.dialogs.feedbackSubmission.bad":"Nieprawidłowy wynik","codex.gallery.dialogs.feedbackSubmission.bug":"Błąd","codex.gallery.dialogs.feedbackSubmission.good":"Prawidłowy wynik","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Uwzględnij dzienniki bieżącej sesji Codex","codex.gallery.dialogs.feedbackSubmission.label":"Przesyłanie opinii","codex.gallery.dialogs.feedbackSubmission.other":"Inne","codex.gallery.dialogs.feedbackSubmission.placeholder":"Opisz problem","codex.gallery.dialogs.feedbackSubmission.submit":"Prześlij","codex.gallery.dialogs.feedbackSubmission.title":"Opinia","codex.gallery.dialogs.feedbackSuccess.body":"Przesłano opinię. Jeśli problem będzie się powtarzał, zgłoś problem w serwisie GitHub lub dodaj wzmiankę z identyfikatorem wątku w istniejącym otwartym zgłoszeniu problemu:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Odrzuć","codex.gallery.dialogs.feedbackSuccess.label":"Opinia została pomyślnie przesłana","codex.gallery.dialogs.feedbackSuccess.title":"Przesłano opinię","codex.gallery.dialogs.gitApplyResults.applied":"Zastosowano bez problemów (2)","codex.gallery.dialogs.gitApplyResults.close":"Zamknij","codex.gallery.dialogs.gitApplyResults.conflicted":"Konflikty: (1)","codex.gallery.dialogs.gitApplyResults.label":"Zastosuj wyniki","codex.gallery.dialogs.gitApplyResults.title":"Zastosuj wyniki","codex.gallery.dialogs.gitPushError.body":"Pobierz najnowsze zmiany lub wymuś wypchnięcie, jeśli wiesz, że można bezpiecznie nadpisać zdalną historię.","codex.gallery.dialogs.gitPushError.cancel":"Anuluj","codex.gallery.dialogs.gitPushError.force":"Wymuś wypchnięcie","codex.gallery.dialogs.gitPushError.label":"Błąd wypychania","codex.gallery.dialogs.gitPushError.subtitle":"Twoja gałąź jest starsza niż origin/main.","codex.gallery.dialogs.gitPushError.title":"Nie udało się wypchnąć zmian","codex.gallery.dialogs.gitRevert.cancel":"Anuluj","codex.gallery.dialogs.gitRevert.confirm":"Wycofaj","codex.gallery.dialogs.gitRevert.label":"Wycofaj zmiany","codex.gallery.dialogs.gitRevert.skip":"Nie pytaj ponownie","codex.gallery.dialogs.gitRevert.subtitle":"To działanie usunie wszystkie zmiany.","codex.gallery.dialogs.gitRevert.title":"Wycofać zmiany?","codex.gallery.dialogs.longForm.label":"Okno dialogowe z długim tekstem","codex.gallery.dialogs.proseModal.body":"Ten styl okna jest używany w przypadku dłuższych instrukcji, wprowadzenia i bloków ze sformatowaną treścią.","codex.gallery.dialogs.proseModal.close":"Zamknij","codex.gallery.dialogs.proseModal.subtitle":"W tym miejscu możesz umieścić obszerniejsze wytyczne lub dokumentację.","codex.gallery.dialogs.proseModal.title":"Okno modalne z dużą ilością treści","codex.gallery.dialogs.submitBlocked.label":"Przesyłanie jest zablokowane","codex.gallery.dialogs.submitBlocked.message":"Nie można wysłać wiadomości, ponieważ projekt jest niedostępny.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Nie można wysłać wiadomości","codex.gallery.dialogs.title":"Okna dialogowe","codex.gallery.dropdown.filterPlaceholder":"Filtruj elementy","codex.gallery.dropdowns.actionRow":"Wiersze działań","codex.gallery.dropdowns.actionRow.disabled":"Wyłączone działanie","codex.gallery.dropdowns.actionRow.primary":"Działanie główne","codex.gallery.dropdowns.actionRow.secondary":"Działanie dodatkowe","codex.gallery.dropdowns.actionRow.trigger":"Pokaż działania","codex.gallery.dropdowns.basic":"Podstawowe menu rozwijane","codex.gallery.dropdowns.basic.newFile":"Nowy plik","codex.gallery.dropdowns.basic.newFolder":"Nowy folder","codex.gallery.dropdowns.basic.openSettings":"Otwórz ustawienia","codex.gallery.dropdowns.basic.title":"Szybkie działania","codex.gallery.dropdowns.basic.trigger":"Otwórz menu","codex.gallery.dropdowns.basic.upload":"Prześlij","codex.gallery.dropdowns.panel":"Powierzchnia panelu","codex.gallery.dropdowns.panel.apply":"Zastosuj","codex.gallery.dropdowns.panel.body":"Przejrzyj diffy i zastosuj je do swojego projektu.","codex.gallery.dropdowns.panel.preview":"Podgląd","codex.gallery.dropdowns.panel.title":"Zastosuj zmiany","codex.gallery.dropdowns.panel.trigger":"Otwórz panel","codex.gallery.dropdowns.search":"Menu rozwijane z możliwością wyszukiwania","codex.gallery.dropdowns.search.first":"Kanał Alpha","codex.gallery.dropdowns.search.second":"Gałąź Beta","codex.gallery.dropdowns.search.third":"Kandydat do wydania","codex.gallery.dropdowns.search.trigger":"Filtruj elementy","codex.gallery.dropdowns.submenu":"Menu rozwijane z podmenu","codex.gallery.dropdowns.submenu.optionA":"Projekt Alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt Beta","codex.gallery.dropdowns.submenu.optionC":"Projekt Gamma","codex.gallery.dropdowns.submenu.primary":"Przypisz właściciela","codex.gallery.dropdowns.submenu.secondary":"Przenieś do","codex.gallery.dropdowns.submenu.tertiary":"Archiwizuj","codex.gallery.dropdowns.submenu.trigger":"Wybierz działanie","codex.gallery.dropdowns.title":"Menu rozwijane","codex.gallery.inbox.automations.close":"Zamknij","codex.gallery.inbox.automations.popover.cardTitle":"Zarządzaj automatyzacjami","codex.gallery.inbox.automations.popover.dialogTitle":"Zarządzaj automatyzacjami","codex.header.settingsTooltip":"Ustawienia","codex.hunk.patch.error":"Nie udało się wstawić do poczekalni","codex.hunk.patch.missing":"Nie można skompilować poprawki dla tego hunku.","codex.hunk.patch.partialSuccess":"Udało się częściowo","codex.hunk.patch.revertError":"Nie udało się wyjąć z poczekalni","codex.hunk.patch.revertSuccess":"Wyjęto z poczekalni","codex.hunk.patch.success":"Wstawiono do poczekalni","codex.legal.autonomy.details":"Więcej informacji zawiera {link}","codex.legal.autonomy.details.link":"dokumentacja Codex","codex.legal.autonomy.title":"Zdecyduj, ile autonomii chcesz przyznać","codex.legal.backButton":"Wstecz","codex.legal.cloud.taskOne.meta":"openai/agi · 12 paź.","codex.legal.cloud.taskOne.title":"Wyjaśnij repozytorium nowemu projektantowi","codex.legal.cloud.taskThree.meta":"openai/codex · 8 paź.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Stwórz motyw do trybu ciemnego","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 paź.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Napraw błąd we wdrożeniu","codex.legal.continue.apikey":"Kontynuuj","codex.legal.continueButton":"Dalej","codex.legal.copilot.details":"Korzysta z aktywnego planu Copilot do wszystkich wywołań modeli, rozliczeń i limitów. Korzystanie z rozszerzenia Codex podlega postanowieniom dokumentów {oaiTos} i {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Warunki świadczenia usług GitHub","codex.legal.copilot.oaiTosLink":"Warunki świadczenia usług OpenAI Codex","codex.legal.copilot.title":"Działa w oparciu o GitHub Copilot","codex.legal.mistakes.review":"Weryfikuj tworzony kod i uruchamiane polecenia","codex.legal.mistakes.title":"Codex może popełniać błędy","codex.legal.powered.details":"Korzysta z limitów w ramach aktywnego planu oraz z aktywnych {link}","codex.legal.powered.details.link":"preferencji dotyczących użycia danych do trenowania","codex.legal.powered.title":"Korzysta z Twojego konta ChatGPT","codex.legal.step.cloud.subtitle":"Wysyłaj zadania, by Codex wykonywał je w tle, dzięki czemu łatwiej się skoncentrujesz i usprawnisz pracę.","codex.legal.step.cloud.title":"Przekaż do agenta Codex w chmurze","codex.legal.step.intro.subtitle":"Codex przegląda, edytuje, uruchamia polecenia i wykonuje testy bezpośrednio w Twoim repozytorium. Korzysta z Twojego konta ChatGPT.","codex.legal.step.intro.title":"Codex w wybranym IDE","codex.legal.step.todo.subtitle":"Napisz komentarz ze słowem TODO i jednym kliknięciem zamień go w zadanie dla agenta Codex.","codex.legal.step.todo.title":"Zamieniaj komentarze TODO w zadania dla Codex","codex.legal.todo.heading":"// TODO: zaimplementuj schemat","codex.localConversation.closeImagePreview":"Zamknij podgląd obrazu","codex.localConversation.userImageAttachment":"Załącznik użytkownika","codex.localTaskRow.archiveTask":"Archiwizuj wątek","codex.localTaskRow.awaitingApproval":"Oczekiwanie na zatwierdzenie","codex.localTaskRow.awaitingResponse":"Oczekiwanie na odpowiedź","codex.localTaskRow.confirmArchiveTask":"Potwierdź","codex.loggedOut.apiKeyPrompt.cancel":"Anuluj","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Uzyskaj klucz API","codex.loggedOut.apiKeyPrompt.inputLabel":"Wprowadź swój klucz API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Zadania chmurowe są wyłączone przy korzystaniu z klucza API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Zadania chmurowe są wyłączone przy korzystaniu z Copilot i klucza API","codex.loggedOut.signIn":"Zaloguj się przez ChatGPT","codex.loggedOut.signIn.cancel":"Anuluj rejestrację","codex.loggedOut.signInWithCopilot":"Zaloguj się przez GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Użyj klucza API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Narzędzie {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Wywołano","codex.mcpTool.collapsedLabel.verb.calling":"Wywoływanie","codex.mcpTool.embeddedResource.contentLabel":"Treść","codex.mcpTool.embeddedResource.mimeTypeLabel":"Typ MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Narzędzie nie zwróciło żadnej treści","codex.mcpTool.rawPayloadHeading":"Nieprzetworzone {server}. Treść wywołania narzędzia {tool}","codex.menu.recent":"Niedawne","codex.menu.seeAllHistory":"Zobacz całą historię","codex.modelCapacityBanner.headline.noReset":"{modelName} ma już wyczerpany limit. Spróbuj ponownie później lub rozpocznij nową konwersację z innym modelem.","codex.modelCapacityBanner.headline.withReset":"{modelName} ma już wyczerpany limit. Spróbuj ponownie po {resetDate} lub rozpocznij nową konwersację z innym modelem.","codex.modelCapacityBanner.title":"Wybrany model ma już wyczerpany limit","codex.patch.change.contentsDeleted":"Usunięto treść","codex.patch.change.created":"Utworzono","codex.patch.change.created-file":"Utworzono plik","codex.patch.change.creating":"Tworzenie","codex.patch.change.deleted":"Usunięto","codex.patch.change.deleted-file":"Usunięto plik","codex.patch.change.deleting":"Usuwanie","codex.patch.change.edited":"Edytowano","codex.patch.change.edited-file":"Edytowano plik","codex.patch.change.editing":"Edytowanie","codex.patch.change.noChanges":"Brak zmian","codex.patch.change.rejected-add":"Odrzucono","codex.patch.change.rejected-delete":"Odrzucono","codex.patch.change.rejected-edit":"Odrzucono","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Zakończone zadania: {completed} z {total}","codex.plan.todoListCreated":"Lista zadań utworzona dla {total} zadań","codex.profileDropdown.apiKeyAuth":"Zalogowano przez klucz API","codex.profileDropdown.codexSettings":"Ustawienia Codex","codex.profileDropdown.copilotAuth":"Zalogowano przez Copilot","codex.profileDropdown.defaultAccountTitle":"Domyślne konto","codex.profileDropdown.enterBehavior":"{modifierSymbol} + klawisz enter w celu wysłania długich poleceń","codex.profileDropdown.enterBehaviorError":"Nie udało się zaktualizować ustawienia","codex.profileDropdown.getPlus":"Przejdź na plan z wyższymi limitami","codex.profileDropdown.keyboardShortcuts":"Skróty klawiaturowe","codex.profileDropdown.language":"Język","codex.profileDropdown.languageDefault":"Wykryj automatycznie","codex.profileDropdown.languageSearchPlaceholder":"Szukaj języków","codex.profileDropdown.languageUpdateError":"Nie udało się zaktualizować języka","codex.profileDropdown.logOut":"Wyloguj się","codex.profileDropdown.mcp":"Ustawienia MCP","codex.profileDropdown.openConfigToml":"Otwórz config.toml","codex.profileDropdown.openConfigToml.wsl":"Otwórz config.toml w środowisku WSL","codex.profileDropdown.openExtensionSettings":"Otwórz ustawienia","codex.profileDropdown.openMcpSettings":"Otwórz ustawienia MCP","codex.profileDropdown.openOnStartup":"Otwieraj przy uruchomieniu","codex.profileDropdown.openOnStartupError":"Nie udało się zaktualizować ustawienia","codex.profileDropdown.openSkillsSettings":"Otwórz obszar Ustawienia umiejętności","codex.profileDropdown.personalAccountTitle":"Konto osobiste","codex.profileDropdown.queueFollowUps":"Dodaj do kolejki kolejne działania","codex.profileDropdown.queueFollowUpsError":"Nie udało się zaktualizować ustawienia","codex.profileDropdown.readDocs":"Przeczytaj dokumentację","codex.profileDropdown.readSkillsDocs":"Przeczytaj dokumentację","codex.profileDropdown.runInWsl":"Uruchom w WSL","codex.profileDropdown.runInWslError":"Nie udało się zaktualizować ustawienia","codex.profileDropdown.runInWslTooltip":"Uruchamia Codex w WSL. Zalecane ze względu na wyższy poziom bezpieczeństwa piaskownicy i wyższą wydajność.","codex.profileDropdown.settings":"Ustawienia IDE","codex.profileDropdown.settingsPage":"Ustawienia","codex.profileDropdown.signInWithOpenAI":"Zaloguj się przez ChatGPT","codex.profileDropdown.skills":"Ustawienia umiejętności","codex.profileDropdown.switchToCopilotAccount":"Użyj konta Copilot","codex.profileDropdown.switchToOpenAIAccount":"Użyj konta OpenAI","codex.profileDropdown.todoCodelens":"Napraw komentarze TODO","codex.profileDropdown.todoCodelensError":"Nie udało się zaktualizować ustawienia","codex.profileDropdown.windowsDocumentation":"Dokumentacja Windows","codex.profileFooter.signedInFallback":"Ustawienia","codex.profileFooter.upgrade":"Rozszerz","codex.recentTasksMenu.clearSearch":"Wyczyść wyszukiwanie","codex.recentTasksMenu.cloud":"Zadania chmurowe","codex.recentTasksMenu.count":"{count, plural, =0 {Brak zadań w toku} one {# zadanie w toku} few {# zadania w toku} many {# zadań w toku} other {# zadania w toku}}","codex.recentTasksMenu.empty":"Nie ma jeszcze wątków","codex.recentTasksMenu.errorCloud":"Nie udało się załadować zadań.","codex.recentTasksMenu.errorCloud.inline":"Nie udało się załadować zadań chmurowych.","codex.recentTasksMenu.filterAll":"Wszystkie","codex.recentTasksMenu.filterCloudTasks":"Filtruj zadania chmurowe","codex.recentTasksMenu.filterTooltip":"Filtruj zadania według środowiska","codex.recentTasksMenu.local":"Zadania lokalne","codex.recentTasksMenu.recent":"Wszystkie zadania","codex.recentTasksMenu.search":"Szukaj ostatnich zadań","codex.recentTasksMenu.searchEmpty":"Brak wyników","codex.recentTasksMenu.tooltip":"Historia zadań","codex.recentTasksMenu.trigger":"Ostatnie zadania. {count, plural, one {# w toku} few {# w toku} many {# w toku} other {# w toku}}","codex.remoteConversation.applyDiff.applyCta":"Zastosuj zmiany","codex.remoteConversation.applyDiff.dropdownTitle":"Zastosuj zmiany w lokalnej gałęzi","codex.remoteConversation.applyDiff.revertCta":"Wycofaj zmiany","codex.remoteConversation.closeImagePreview":"Zamknij podgląd obrazu","codex.remoteConversation.codexCloudTask":"Wyświetlasz zadanie <u>Codex Cloud</u>","codex.remoteConversation.errorWithMessage":"Błąd: {message}","codex.remoteConversation.loadingImage":"Ładowanie obrazu","codex.remoteConversation.openInWeb":"Otwórz w przeglądarce","codex.remoteConversation.streaming":"Rozpoczynanie pracy","codex.remoteConversation.turnFailed":"Podczas tego zadania wystąpił błąd","codex.remoteConversation.turnTab.loading":"Próba {number}","codex.remoteConversation.turnTab.title":"Próba {number}","codex.remoteConversation.userImageAttachment":"Załącznik użytkownika","codex.remoteConversation.viewPreviousTurns":"Otwórz w przeglądarce","codex.remoteConversation.viewPreviousTurns.buttonText":"Otwórz","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Otwórz w przeglądarce","codex.review.copyGitApplyCommand":"Kopiuj polecenie git apply","codex.review.copyGitApplyCommand.toast":"Polecenie git apply zostało skopiowane do schowka","codex.review.diffTooLarge.description":"Ten diff jest zbyt duży do wyświetlenia w trybie Recenzja.","codex.review.diffTooLarge.title":"Diff jest zbyt duży do wyświetlenia","codex.review.expandOrCollapseDiffButton.collapse":"Zwiń wszystkie diffy","codex.review.expandOrCollapseDiffButton.expand":"Rozwiń wszystkie diffy","codex.review.expandOrCollapseDiffMenu.collapse":"Zwiń wszystkie diffy","codex.review.expandOrCollapseDiffMenu.expand":"Rozwiń wszystkie diffy","codex.review.fileSearch.clear":"Usuń filtr plików","codex.review.fileSearch.empty":"Żadne pliki nie pasują do bieżącego filtra.","codex.review.fileSearch.label":"Filtr plików","codex.review.fileSearch.placeholder":"Filtr plików...","codex.review.filesChanged":"{num, plural, =0 {Nie zmieniono żadnych plików} one {Zmieniono # plik} few {Zmieniono # pliki} many {Zmieniono # plików} other {Zmieniono # pliku}}","codex.review.find.loadMore":"Załaduj więcej dopasowań","codex.review.fullReview.hideFileTree":"Ukryj drzewo plików","codex.review.fullReview.showFileTree":"Pokaż drzewo plików","codex.review.header.moreOptions":"Opcje recenzji","codex.review.largeDiff.banner":"Wykryto duży diff — wyświetlanie jednego pliku na raz.","codex.review.loadFullFiles.disable":"Nie ładuj całych plików","codex.review.loadFullFiles.enable":"Ładuj całe pliki","codex.review.noDiff":"Tutaj będą wyświetlane zmiany w pliku","codex.review.noDiff.gitInit.createRepository":"Utwórz repozytorium git","codex.review.noDiff.gitInit.creating":"Tworzenie…","codex.review.noDiff.gitInit.error":"Niepowodzenie inicjalizacji Git: {message}","codex.review.noDiff.gitInit.success":"Repozytorium Git zostało utworzone","codex.review.noDiff.gitRepoRequired.description":"Śledź i cofaj zmiany w tym projekcie","codex.review.noDiff.gitRepoRequired.title":"Utwórz repozytorium Git","codex.review.noDiff.orNoLongerAvailable":"lub ostatnie diffy nie są już dostępne","codex.review.noDiff.reverted":"Ostatnia tura została wycofana","codex.review.noDiff.revertedOrCommitted":"Ostatnia tura została wycofana lub zatwierdzona","codex.review.refreshGitQueries":"Odśwież","codex.review.revert.file.error":"Nie udało się przywrócić {path}","codex.review.revert.file.partialSuccess":"Częściowo przywrócono {path}","codex.review.revert.file.success":"Przywrócono {path}","codex.review.revert.hunk.error":"Nie udało się wycofać hunka {hunkNumber} w {path}","codex.review.revert.hunk.partialSuccess":"Częściowo wycofano hunk {hunkNumber} w {path}","codex.review.revert.hunk.success":"Wycofano hunk {hunkNumber} w {path}","codex.review.revert.section.error":"Nie udało się przywrócić sekcji","codex.review.revert.section.partialSuccess":"Częściowo przywrócono sekcję","codex.review.revert.section.success":"Przywrócono sekcję","codex.review.revertDialog.cancel":"Anuluj","codex.review.revertDialog.confirm":"Potwierdź","codex.review.revertDialog.message":"To działanie usuwa wszystkie te zmiany.","codex.review.revertDialog.skip":"Nie pytaj ponownie","codex.review.revertDialog.title":"Wycofać zmiany?","codex.review.richPreview.disable":"Wyłącz podgląd z formatowaniem","codex.review.richPreview.enable":"Włącz podgląd z formatowaniem","codex.review.source.cloud":"Zmiany w chmurze","codex.review.source.local.all":"Wszystkie zmiany w gałęzi","codex.review.source.local.lastTurn":"Zmiany z ostatniej tury","codex.review.source.local.uncommitted":"Niezatwierdzone zmiany","codex.review.source.worktree":"Niezatwierdzone zmiany w drzewie roboczym","codex.review.stageFilter.empty.staged.description":"Zaakceptuj zmiany, aby je umieścić w poczekalni","codex.review.stageFilter.empty.staged.title":"Brak zmian w poczekalni","codex.review.stageFilter.empty.unstaged.description":"Tutaj będą wyświetlane zmiany w kodzie","codex.review.stageFilter.empty.unstaged.title":"Brak zmian spoza poczekalni","codex.review.stageFilter.staged":"W poczekalni","codex.review.stageFilter.staged.count":"W poczekalni · {count}","codex.review.stageFilter.unstaged":"Poza poczekalnią","codex.review.stageFilter.unstaged.count":"Poza poczekalnią · {count}","codex.review.switchToSplit":"Przełącz na diff podzielony","codex.review.switchToUnified":"Przełącz na diff ujednolicony","codex.review.toggleDiffView":"Przełącz widok diffa","codex.review.wordDiffs.disable":"Wyłącz diffy wyrazów","codex.review.wordDiffs.enable":"Włącz diffy wyrazów","codex.review.wrap.disable":"Wyłącz zawijanie wyrazów","codex.review.wrap.enable":"Włącz zawijanie wyrazów","codex.section.patch.missing":"Nie można skompilować poprawki dla tej sekcji.","codex.shell.collapse":"Zwiń powłokę","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Skopiowano zawartość powłoki","codex.shell.copy.copyTooltip":"Skopiuj zawartość powłoki","codex.shell.copyCommand":"Kopiuj polecenie","codex.shell.copyOutput":"Kopiuj wynik","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Rozwiń powłokę","codex.shell.name":"Powłoka","codex.shell.noOutput":"Brak danych wyjściowych","codex.signInFailed.message":"Nie udało się zalogować: {rawMessage}","codex.stories.toast.show":"Pokaż toast","codex.stories.tooltip.basic":"To jest etykieta narzędzia","codex.stories.tooltip.hoverMe":"Naprowadź wskaźnik","codex.stories.tooltip.largerOffset":"Ta etykieta narzędzia ma szerszy odstęp","codex.stories.tooltip.offsetButton":"Szerszy odstęp","codex.stories.tooltip.shortcutButton":"Ze skrótem","codex.stories.tooltip.withShortcut":"Przełącz terminal","codex.taskRow.title":"Nowy wątek","codex.taskRowLayout.confirm":"Potwierdź","codex.threadFindBar.chatFilter":"Wyszukaj czaty","codex.threadFindBar.close":"Zamknij wyszukiwanie","codex.threadFindBar.diffFilter":"Przeszukaj diffy","codex.threadFindBar.label":"Znajdź w wątku","codex.threadFindBar.nextResult":"Następny wynik","codex.threadFindBar.noResults":"0 wyników","codex.threadFindBar.placeholder":"Przeszukaj wątek...","codex.threadFindBar.placeholder.extension":"Przeszukaj wątek...","codex.threadFindBar.placeholder.review":"Przeszukaj diff...","codex.threadFindBar.placeholder.review.extension":"Przeszukaj diff...","codex.threadFindBar.previousResult":"Poprzedni wynik","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {Zmieniono # plik} few {Zmieniono # pliki} many {Zmieniono # plików} other {Zmieniono # pliku}}","codex.unifiedDiff.inlineLargeFile":"Zbyt duży, by wyświetlić w wierszu","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Cofnij","codex.unifiedDiff.revertPatchError":"Nie udało się wycofać zmian","codex.unifiedDiff.revertPatchSuccess":"Wycofano zmiany","codex.unifiedDiff.reviewChangesSuffix":"zmiany","codex.unifiedDiff.reviewShort":"Zrecenzuj","codex.unifiedDiff.viewDiffTooltip":"Zrecenzuj","codex.upsellBanner.business.headline":"Aby uzyskać większy dostęp już teraz, wyślij prośbę do administratora, albo poczekaj do {resetDate}","codex.upsellBanner.cbp.headline":"Aby zwiększyć swój dostęp teraz, wyślij prośbę do administratora.","codex.upsellBanner.cta.addCredits":"Dodaj kredyty","codex.upsellBanner.cta.upgradeAccount":"Rozszerz","codex.upsellBanner.cta.viewUsage":"Wyświetl wykorzystanie","codex.upsellBanner.free.trialHeadline":"Limit zapytań zresetuje się w dniu: {resetDate}. Aby kontynuować używanie agenta Codex i uzyskać dostęp do modelu GPT-5.3-Codex, już dziś rozpocznij bezpłatny okres próbny planu Plus.","codex.upsellBanner.freeOrGo.headline":"Planowy reset limitu zapytań: {resetDate}. Aby kontynuować używanie agenta Codex, przejdź na plan Plus już dziś.","codex.upsellBanner.general.headline":"Planowy reset limitu zapytań: {resetDate}.","codex.upsellBanner.general.title":"Nie masz już wiadomości Codex","codex.upsellBanner.go.trialHeadline":"Limit zapytań zresetuje się w dniu: {resetDate}. Aby kontynuować używanie agenta Codex, już dziś rozpocznij bezpłatny okres próbny planu Plus.","codex.upsellBanner.plus.headline":"Planowy reset limitu zapytań: {resetDate}. Aby kontynuować używanie agenta Codex, dodaj środki lub przejdź na plan Plus już dziś.","codex.upsellBanner.pro.headline":"Planowy reset limitu zapytań: {resetDate}. Aby kontynuować używanie agenta Codex, dodaj środki już dziś.","codex.userMessage.autoResolveSync":"Automatyczne usuwaj konflikty","codex.userMessage.commentCount":"{count, plural, one {# komentarz} few {# komentarzy} many {# komentarzy} other {# komentarzy}}","codex.userMessage.copiedAriaLabel":"Skopiowano","codex.userMessage.copiedTooltip":"Skopiowano","codex.userMessage.copyAriaLabel":"Skopiuj wiadomość","codex.userMessage.copyTooltip":"Kopiuj","codex.userMessage.implementPlan":"Wdróż plan","codex.userMessage.noContent":"(Brak treści)","codex.userMessage.priorConversation":"Odwołuje się do wcześniejszej konwersacji","codex.userMessage.reviewMode":"Tryb weryfikacji","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"dla {query}","codex.webSearch.summary.verb.completed":"Wyszukano w Internecie","codex.webSearch.summary.verb.inProgress":"Wyszukiwanie w Internecie","codex.windowsInstallWslBanner.dismiss":"Odrzuć","codex.windowsInstallWslBanner.installWslCta":"Włącz piaskownicę","codex.windowsInstallWslBanner.learnMore":"Więcej informacji","codex.windowsSandboxBanner.content":"Tryb agentowy korzysta z eksperymentalnej piaskownicy w Windows, by ograniczać dostęp do systemu plików i do sieci. {sandboxLink}","codex.windowsSandboxBanner.title":"Włącz piaskownicę w trybie agentowym","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Ustawienia Windows","codexUpgradeModal.body":"Nasz najnowszy pionierski model programowania agentowego – inteligentniejszy, szybszy i zdolniejszy w ogólnych zadaniach technicznych. {link}","codexUpgradeModal.close":"Zamknij","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Więcej informacji","codexUpgradeModal.title":"Przedstawiamy model GPT-5.3-Codex-Max","codexUpgradeModal.tryNewModel":"Wypróbuj model GPT-5.3-Codex już teraz","codexUpgradeModal.useExistingModel":"Kontynuuj z bieżącym modelem","commentAttachments.numComments":"{count, plural, one {# komentarz} few {# komentarze} many {# komentarzy} other {# komentarza}}","commentAttachments.removeAriaLabel":"Usuń załącznik z komentarzami","common.close":"Zamknij","composer.addContext.openFilePickerError":"Nie udało się otworzyć selektora pliku","composer.addContextDropdown.ariaLabel":"Dodawaj pliki i nie tylko","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Dodawaj pliki i nie tylko","composer.addPhotosAndFiles":"Dodaj zdjęcia i pliki","composer.atMentionList.emptyQuery":"Zacznij pisać, aby wyszukać pliki","composer.atMentionList.loading":"Wyszukiwanie…","composer.atMentionList.noResults":"Brak wyników","composer.attemptsSelector.option":"{count, plural, one {# wersja} few {# wersje} many {# wersji} other {# wersji}}","composer.attemptsSelector.tooltip":"Liczba równoległych prób, które Codex ma wykonać","composer.attemptsSelector.trigger":"{count}×","composer.backgroundTerminals.stop":"Zatrzymaj","composer.cloudFollowUp.cloud":"Chmura","composer.cloudFollowUp.local":"Lokalne","composer.cloudFollowUp.whereRun":"Gdzie powinno działać to nawiązanie?","composer.cloudTaskCreationError":"Błąd przy tworzeniu zadania chmurowego","composer.cloudTaskError":"Błąd przy tworzeniu zadania","composer.contextWindow.autoCompactionTooltipLine1":"Agent Codex automatycznie kompaktuje kontekst","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Okno kontekstu:","composer.contextWindowUsageStatusFull":"{usage}% zapełnienia","composer.contextWindowUsageStatusLeft":"{usage}% wykorzystane ({remaining}% wolne)","composer.contextWindowUsageTooltip":"{usedTokens} tys. / {contextWindow} tys. wykorzystanych tokenów","composer.customCliTooltip":"Używanie niestandardowego pliku wykonywalnego CLI","composer.dictation.aria":"Dyktuj","composer.dictation.cancel.aria":"Przestań dyktować","composer.dictation.cancel.tooltip":"Przestań dyktować","composer.dictation.startError":"Nie można rozpocząć dyktowania","composer.dictation.submit.aria":"Transkrybuj i wyślij","composer.dictation.submit.tooltip":"Transkrybuj i wyślij","composer.dictation.tooltip":"Przytrzymaj, aby dyktować","composer.dictation.transcribeError":"Nie można transkrybować dźwięku","composer.dictation.unsupported":"Nie można dyktować za pomocą tego urządzenia","composer.dropOverlay.holdShift":"Przytrzymaj {key}, aby upuścić","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Utwórz nowe","composer.environmentSelector.error":"Błąd ładowania środowisk","composer.environmentSelector.goBack":"Wróć do kompozytora","composer.environmentSelector.title":"Wybierz środowisko","composer.environmentSelector.tooltip":"Wybierz środowisko chmurowe","composer.feedbackSlashCommand.title":"Opinia","composer.filePicker.selectFile":"Wybierz plik","composer.filePicker.selectFiles":"Wybierz pliki","composer.followerTooltip":"Aby kontynuować, wróć do okna, w którym ta konwersacja się rozpoczęła.","composer.footer.branchSwitch.checkoutError":"Nie udało się przełączyć gałęzi: {message}","composer.footer.branchSwitch.createAndCheckout":"Utwórz nową gałąź i przełącz się na nią tutaj…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Zatwierdź zmiany, aby utworzyć nową gałąź i się na nią przełączyć","composer.footer.branchSwitch.createBranchError":"Nie udało się utworzyć gałęzi: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nazwa gałęzi","composer.footer.branchSwitch.createDialog.branchExistsError":"Gałąź już istnieje.","composer.footer.branchSwitch.createDialog.close":"Zamknij","composer.footer.branchSwitch.createDialog.createAndCheckout":"Utwórz i przełącz się","composer.footer.branchSwitch.createDialog.placeholder":"nowa-gałąź","composer.footer.branchSwitch.createDialog.title":"Utwórz nową gałąź i przełącz się na nią","composer.footer.branchSwitch.createDialog.trailingSlashError":"Nazwa gałęzi nie może kończyć się znakiem „/”.","composer.footer.branchSwitch.tooltip":"Przełącz gałąź","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Zatwierdź zmiany w {fileCount, plural, one {# plik} few {Pliki: #} many {Pliki: #} other {Pliki: #}}, aby wyrejestrować {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Zatwierdzenie","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"zmiany w {fileCount, plural, one {# plik} few {Pliki: #} many {Pliki: #} other {Pliki: #}}, aby wyrejestrować {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Anuluj","composer.footer.branchSwitch.uncommittedDialog.commit":"Zatwierdź i przełącz gałąź...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Zmiany w następujących plikach zostaną zastąpione po wyrejestrowaniu:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Zatwierdź zmiany, aby kontynuować","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"wybraną gałąź","composer.footer.branchSwitch.uncommittedDialog.title":"Zatwierdź zmiany, aby przełączyć gałąź","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Niezatwierdzone: {fileCount, plural, one {# plik} few {Pliki: #} many {Pliki: #} other {Pliki: #}}","composer.forkSlashCommand.description":"Rozwidl ten wątek w wątek lokalny lub nowe drzewo robocze","composer.forkSlashCommand.option.local.description":"Kontynuuj w nowym wątku lokalnym","composer.forkSlashCommand.option.local.title":"Rozwidl w lokalny","composer.forkSlashCommand.option.worktree.description":"Kontynuuj w nowym drzewie roboczym","composer.forkSlashCommand.option.worktree.title":"Rozwidl w nowe drzewo robocze","composer.forkSlashCommand.title":"Rozwidlenie","composer.ideContextIndicator":"Kontekst ze środowiska IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Dołącz kontekst ze środowiska IDE","composer.ideContextIndicator.tooltipToggle":"aby przełączyć","composer.ideContextSlashCommand.disableDescription":"Wyłącz kontekst ze środowiska IDE","composer.ideContextSlashCommand.enableDescription":"Uwzględnij bieżące zaznaczenie, otwarte pliki i inne informacje kontekstowe ze środowiska IDE.","composer.ideContextSlashCommand.title":"Kontekst ze środowiska IDE","composer.imageInputsUnsupported":"Ten model nie obsługuje danych wejściowych w postaci obrazu. Spróbuj użyć innego modelu.","composer.imageUploadFailed":"Nie udało się przesłać obrazu","composer.includeIdeContextDropdown":"Dołącz kontekst IDE","composer.includeIdeContextDropdown.ariaLabel":"Dołącz kontekst IDE","composer.localCwdDropdown.addWorkspaceRoot":"Dodaj nowy projekt","composer.localCwdDropdown.noActiveRoot":"Wybierz projekt","composer.localCwdDropdown.noResults":"Nie znaleziono folderów","composer.localCwdDropdown.title":"Wybierz projekt","composer.localTaskError":"Błąd podczas uruchamiania konwersacji","composer.mcpSlashCommand.description":"Pokaż stan serwera MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nie uwierzytelniono","composer.mcpStatus.authOauth":"Uwierzytelniono (OAuth)","composer.mcpStatus.authToken":"Uwierzytelniono (klucz API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zamknij","composer.mcpStatus.disabled":"Wyłączone","composer.mcpStatus.emptyLabel":"Serwery:","composer.mcpStatus.emptyValue":"Nie skonfigurowano serwerów MCP","composer.mcpStatus.enabled":"Włączone","composer.mcpStatus.errorLabel":"Stan:","composer.mcpStatus.errorValue":"Nie można załadować stanu MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Zmień tryb","composer.mode.agentMode.custom":"Niestandardowy","composer.mode.agentMode.custom.dropdownLabel":"Niestandardowy","composer.mode.agentMode.custom.option":"Niestandardowy (config.toml)","composer.mode.agentMode.custom.optionLabel":"Niestandardowy (config.toml)","composer.mode.agentMode.customInfo.cancel":"Anuluj","composer.mode.agentMode.customInfo.cli":"Możesz zmienić te ustawienia z poziomu wiersza poleceń albo edytując plik bezpośrednio.","composer.mode.agentMode.customInfo.confirm":"Użyj trybu niestandardowego","composer.mode.agentMode.customInfo.description":"Tryb niestandardowy stosuje zasady zatwierdzania i piaskownicy zdefiniowane w pliku<link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Więcej informacji na temat konfigurowania zasad zatwierdzeń i piaskownicy zawiera<link>dokumentacja środowiska wykonawczego</link>.","composer.mode.agentMode.customInfo.refresh":"Wszelkie zmiany zostaną uwzględnione przy następnym uruchomieniu agenta.","composer.mode.agentMode.customInfo.title":"Jak działa tryb niestandardowy","composer.mode.agentMode.fullAccess":"Agent (pełny dostęp)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (pełny dostęp)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (pełny dostęp)","composer.mode.agentMode.fullAccessConfirm.caution":"Zachowaj ostrożność, przyznając pełny dostęp. W istotny sposób zwiększa to ryzyko utraty i wycieku danych oraz nieprzewidywalnego działania.","composer.mode.agentMode.fullAccessConfirm.confirm":"Kontynuuj mimo to","composer.mode.agentMode.fullAccessConfirm.description":"Kiedy Codex działa w trybie pełnego dostępu, może edytować dowolny plik z dysku komputera, a także uruchamiać polecenia sieciowe bez zatwierdzenia użytkownika.","composer.mode.agentMode.fullAccessConfirm.goBack":"Anuluj","composer.mode.agentMode.fullAccessConfirm.title":"Udzielić pełnego dostępu?","composer.mode.agentMode.readOnly":"Czat","composer.mode.agentMode.readOnly.dropdownLabel":"Czat","composer.mode.agentMode.readOnly.optionLabel":"Czat","composer.mode.agentMode.tooltip":"Zmień tryb","composer.mode.agentMode.tooltip.auto":"Czytanie i edycja plików, uruchamianie poleceń.","composer.mode.agentMode.tooltip.custom":"Stosuj najnowsze wersje zasad zatwierdzania i piaskownicy zdefiniowane w pliku config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Agent Codex może edytować pliki poza projektem i uruchamiać komendy z dostępem do sieci. Zachowaj ostrożność przy korzystaniu z agenta.","composer.mode.agentMode.tooltip.readOnly":"Wymaga zatwierdzenia w przypadku edycji plików i uruchamiania poleceń.","composer.mode.cloud.tooltip":"Pracuj w środowisku chmurowym","composer.mode.contactAdmin":"Aby poszerzyć dostęp, skontaktuj się z administratorem","composer.mode.local":"Lokalne","composer.mode.local.learnMore":"Więcej informacji","composer.mode.local.model.custom":"Niestandardowy","composer.mode.local.model.loadingModel":"Ładowanie modelu","composer.mode.local.model.selecrReasoningEffort":"Wybierz tryb rozumowania","composer.mode.local.model.selectModel":"Wybierz model","composer.mode.local.model.tooltip":"Wybierz model","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Wysoki","composer.mode.local.reasoning.low.label":"Niski","composer.mode.local.reasoning.medium.label":"Średni","composer.mode.local.reasoning.minimal.label":"Minimalny","composer.mode.local.reasoning.none.label":"Brak","composer.mode.local.reasoning.xhigh.label":"Bardzo duża","composer.mode.localRemoteWhereRun":"Wybierz, gdzie uruchomić zadanie","composer.mode.newTask.header":"Kontynuuj w","composer.mode.rateLimit.day":"{days} d.","composer.mode.rateLimit.heading":"Pozostały limit","composer.mode.rateLimit.hour":"{hours} godz.","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Limit {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {tygodniowy limit} few {{weeks}-tygodniowy limit} many {{weeks}-tygodniowy limit} other {{weeks}-tygodniowy limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Co tydzień} few {{weeks} tygodnie} many {{weeks} tygodni} other {{weeks} tygodnia}}","composer.mode.remote.connectToCloud":"Połącz z Codex w przeglądarce","composer.mode.remote.connectToCloudDisabledTooltip":"Skonfiguruj środowisko za pomocą Codex w przeglądarce, by umożliwić wysyłanie zadań do chmury","composer.mode.remote.selectEnvironment":"Wybierz środowisko","composer.mode.remote.sendToCloud":"Wyślij do chmury","composer.mode.remote.setupViaWeb":"Skonfiguruj środowisko za pomocą Codex w przeglądarce","composer.mode.runInCloud":"Chmura","composer.mode.runInCloudWithEnvironment":"Chmura · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Pracuj w środowisku chmurowym","composer.mode.segmentedToggle.local.tooltip":"Pracuj, korzystając z projektu lokalnego","composer.mode.segmentedToggle.worktree.tooltip":"Pracuj w równoległym drzewie roboczym","composer.mode.upgradeToPlus":"Rozszerz do planu Plus","composer.mode.upgradeToPro":"Rozszerz do planu Pro","composer.mode.workLocally":"Projekt lokalny","composer.mode.workLocally.currentBranchFallback":"moja gałąź","composer.mode.workLocally.tooltip":"Działa za pomocą: {branchName}","composer.mode.worktree":"Nowe drzewo robocze","composer.mode.worktree.submoduleWarning":"To repozytorium ma podmoduły git. Tworzenie drzewa roboczego może zakończyć się niepowodzeniem.","composer.mode.worktree.tooltip":"Utwórz działającą równolegle kopię projektu lokalnego","composer.mode.worktreeSegment":"Drzewo robocze","composer.modelChangeDuringConversationWarning.toast":"Zmiana modelu w trakcie konwersacji obniży jakość wyników.","composer.newChat.heading.browser":"Co teraz będziemy kodować?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex używa uprawnienia zdefiniowanego w pliku config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ma pełny dostęp do Twojego komputera (podwyższone ryzyko)","composer.permissionsDropdown.custom.label":"Niestandardowy (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Niestandardowy (config.toml)","composer.permissionsDropdown.default.label":"Domyślne uprawnienia","composer.permissionsDropdown.default.optionLabel":"Domyślne uprawnienia","composer.permissionsDropdown.default.tooltip":"Codex automatycznie wykonuje komendy w piaskownicy","composer.permissionsDropdown.disabled.requirements":"Dostęp do uprawnień został zablokowany przy użyciu pliku requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Pełny dostęp został wyłączony przy użyciu pliku requirements.toml","composer.permissionsDropdown.fullAccess.label":"Pełny dostęp","composer.permissionsDropdown.fullAccess.optionLabel":"Pełny dostęp","composer.permissionsDropdown.trigger.tooltip":"Zmień uprawnienia","composer.personalitySlashCommand.description.friendly":"Ciepła, chętna do współpracy i pomocna","composer.personalitySlashCommand.description.pragmatic":"Zwięzła, skoncentrowana na zadaniu i bezpośrednia","composer.personalitySlashCommand.label.friendly":"Przyjazny","composer.personalitySlashCommand.label.pragmatic":"Pragmatyczny","composer.personalitySlashCommand.notApplicableSuffix":"(Nie dotyczy obecnego modelu)","composer.personalitySlashCommand.title":"Osobowość","composer.placeholder.cloudFollowUp.directFollowUp":"Kontynuuj do tego zadania chmurowego","composer.placeholder.cloudFollowUp.local":"Utwórz nowe zadanie lokalne odwołujące się do zadania chmurowego.","composer.placeholder.cloudFollowUp.workingTree":"Utwórz nowe zadanie chmurowe, które będzie zawierać obecny kod i będzie odwoływać się do tego zadania.","composer.placeholder.localFollowUp.cloud":"Kontynuuj w nowym zadaniu chmurowym","composer.placeholder.localFollowUp.locally":"Poproś o zmiany w kontynuacji","composer.placeholder.newTask.cloud":"Zleć, by Codex zrobił cokolwiek w chmurze","composer.placeholder.newTask.doAnything":"Zleć, by Codex zrobił cokolwiek","composer.placeholder.newTask.locally":"Zapytaj Codex o cokolwiek, @ dodaje pliki, / dodaje polecenia","composer.planModeDropdown":"Tryb planowania","composer.planModeDropdown.ariaLabel":"Tryb planowania","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Utwórz plan przy użyciu Codex","composer.planModeIndicator.tooltipToggle":"aby przełączyć","composer.planSlashCommand.disableDescription":"Wyłącz tryb planowania","composer.planSlashCommand.enableDescription":"Włącz tryb planowania","composer.planSlashCommand.title":"Tryb planowania","composer.priorContext.label":"Poprzedni kontekst","composer.priorContext.removeAriaLabel":"Usuń poprzedni kontekst","composer.queuedMessage.delete":"Usuń wiadomość z kolejki","composer.queuedMessage.edit":"Edytuj wiadomość","composer.queuedMessage.more":"Działania dotyczące wiadomości","composer.queuedMessage.sendNow":"Kieruj","composer.queuedMessage.sendNowTooltip":"Wyślij teraz bez przerywania pracy","composer.queuedMessage.turnOff":"Wyłącz kolejkowanie","composer.reasoningEffort.local.reasoning.tooltip":"Wybierz intensywność rozumowania","composer.remote.branchStartingPoint":"W jakiej gałęzi powinno być uruchamiane to zadanie?","composer.remote.branchesSectionHeading":"Gałęzie","composer.remote.currentEditsSuffix.followUp":"Utwórz nowe zadanie odwołujące się do zadania chmurowego.","composer.remote.currentEditsSuffix.useLocal":"z lokalnymi zmianami kodu","composer.remote.directFollowUp":"Nie używaj lokalnych zmian kodu","composer.remote.errorLoadingBranches":"Błąd podczas ładowania gałęzi","composer.remote.fromBranch":"Z {branch}","composer.remote.fromCurrentBranch":"Z gałęzi {branch} (bieżącej)","composer.remote.loadingMoreBranches":"Ładowanie…","composer.remote.localFileStateHeading":"Lokalny stan pliku","composer.remote.localWorkingTree":"Używaj zmian lokalnych","composer.remote.startingPoint":"Od jakiego kodu powinno się zaczynać to zadanie?","composer.reviewMode.branches.error":"Nie można załadować gałęzi","composer.reviewMode.branches.retry":"Ponów próbę","composer.reviewMode.gitRoot.error":"Nie znaleziono gita głównego","composer.reviewMode.option.baseBranch.simple":"Sprawdź względem gałęzi bazowej","composer.reviewMode.option.unstaged.simple":"Sprawdź niezatwierdzone zmiany","composer.reviewMode.quickReviewError":"Nie udało się rozpocząć weryfikacji kodu.","composer.reviewMode.title":"Sprawdź kod","composer.sandboxButton.unlock.disabled.tooltip":"Pełny dostęp został wyłączony przy użyciu pliku requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex może używać eksperymentalnej piaskownicy w systemie Windows w celu ograniczenia dostępu do systemu plików i sieci. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Czy włączyć piaskownicę w systemie Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Używaj tylko do odczytu","composer.searchEnvironments":"Wyszukaj środowiska","composer.skillMentionList.app":"Aplikacja","composer.skillMentionList.loading":"Ładowanie umiejętności...","composer.skillMentionList.noResults":"Nie znaleziono umiejętności","composer.slashCommands.cloudEnvironment.title":"Środowisko chmurowe","composer.slashCommands.dialogLabel":"Menu poleceń z ukośnikiem","composer.slashCommands.dialogTitle":"Polecenia z ukośnikiem","composer.slashCommands.disabledTooltip":"Rozpocznij nową konwersację, aby korzystać z poleceń z ukośnikiem","composer.slashCommands.inputPlaceholder":"Wyszukaj","composer.slashCommands.noResults":"Brak poleceń","composer.slashCommands.skillsGroup":"Umiejętności","composer.slashCommands.tooltip":"Przeglądaj polecenia z ukośnikiem","composer.status.close":"Zamknij","composer.statusPlain.alertLabel":"Alert","composer.statusPlain.alertValue":"Zostało {remaining}% w {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count} tys.","composer.statusPlain.contextValueMetadata":"({used} wykorzystano / {total})","composer.statusPlain.contextValueRemaining":"Zostało {remaining}%","composer.statusPlain.heading":"Stan","composer.statusPlain.modelRateLimitSectionLabel":"Limit {modelName}:","composer.statusPlain.rateLimitDays":"limit {count} dni","composer.statusPlain.rateLimitFallbackLabel":"Limit:","composer.statusPlain.rateLimitHours":"limit {count} h","composer.statusPlain.rateLimitLabelBase":"Limit","composer.statusPlain.rateLimitMinutes":"limit {count} min","composer.statusPlain.rateLimitPercent":"Zostało {remaining}%","composer.statusPlain.rateLimitReset":"zerowanie: {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"czas zerowania niedostępny","composer.statusPlain.rateLimitUnavailable":"Niedostępne","composer.statusPlain.sessionCopiedAriaLabel":"Skopiowano identyfikator sesji","composer.statusPlain.sessionCopiedTooltip":"Skopiowano identyfikator","composer.statusPlain.sessionCopyAriaLabel":"Kopiuj identyfikator sesji","composer.statusPlain.sessionCopyTooltip":"Kopiuj identyfikator","composer.statusPlain.sessionLabel":"Sesja:","composer.statusSlashCommand.description":"Pokaż identyfikator wątku, użycie kontekstu i limity","composer.statusSlashCommand.title":"Stan","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Nie można wysłać wiadomości","composer.submit.emptyMessage":"Wprowadź wiadomość, aby rozpocząć","composer.submit.imageInputsUnsupported":"Usuń zdjęcia lub przełącz model, aby wysłać tę wiadomość.","composer.submit.loadingLocalConfig":"Ładowanie…","composer.submit.missingCloudConfig":"Musisz wybrać środowisko chmurowe","composer.submit.missingCloudTurn":"Nie można nawiązać do tego zadania","composer.submit.noWorkspace":"Aby móc używać agenta Codex, musisz dodać projekt","composer.submit.waitForImageUploads":"Przesyłanie obrazów...","composer.submitButtonTooltip.send":"Wyślij","composer.submitButtonTooltip.stop":"Zatrzymaj","composer.worktreeEnvironment.create":"Utwórz środowisko lokalne","composer.worktreeEnvironment.default":"Środowisko domyślne","composer.worktreeEnvironment.error":"Błąd ładowania środowisk","composer.worktreeEnvironment.loading":"Ładowanie środowisk...","composer.worktreeEnvironment.title":"Środowisko lokalne","composer.worktreeEnvironment.tooltip":"Wybierz środowisko lokalne","composer.worktreeSetupFailed":"Nie udało się skonfigurować drzewa roboczego. Sprawdź skrypt konfiguracyjny w .codex/environments.","compoundButton.secondaryAction":"Działanie dodatkowe","copyButton.copied":"Skopiowano","copyButton.copiedAriaLabel":"Skopiowano","copyButton.copy":"Kopiuj","copyButton.copyAriaLabel":"Kopiuj","copyButton.copyCode":"Skopiuj kod","diff.actionButton.revertFile":"Przywróć plik","diff.actionButton.revertHunk":"Wycofaj","diff.actionButton.revertSection":"Przywróć wszystkie","diff.actionButton.revertSectionLabel":"Przywróć wszystkie","diff.actionButton.stageFile":"Wstaw plik do poczekalni","diff.actionButton.stageHunk":"Wstaw do poczekalni","diff.actionButton.stageSection":"Wstaw wszystko do poczekalni","diff.actionButton.stageSectionLabel":"Wstaw wszystko do poczekalni","diff.actionButton.unstageFile":"Wyjmij plik z poczekalni","diff.actionButton.unstageHunk":"Wyjmij z poczekalni","diff.actionButton.unstageSection":"Wyjmij wszystko z poczekalni","diff.actionButton.unstageSectionLabel":"Wyjmij wszystko z poczekalni","diff.fileHeader.toggle":"Przełącz diff pliku","electron.onboarding.login.apikey.cancel":"Anuluj","electron.onboarding.login.apikey.continue":"Kontynuuj","electron.onboarding.login.apikey.label":"Klucz API OpenAI","electron.onboarding.login.apikey.open":"Wprowadź klucz API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Anuluj logowanie","electron.onboarding.login.chatgpt.continue":"Kontynuuj z ChatGPT","electron.onboarding.login.devbox":"Połącz ze zdalnym SSH","electron.onboarding.login.error":"Nie udało się zalogować: {rawMessage}","electron.onboarding.login.snake.start":"Zagraj w Węża","electron.onboarding.login.sshConfig.cancel":"Anuluj","electron.onboarding.login.sshConfig.continue":"Kontynuuj","electron.onboarding.login.sshConfig.hostnameLabel":"Nazwa hosta SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Najlepszy sposób tworzenia agentów","electron.onboarding.login.title":"Witamy w Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Kontynuuj","electron.onboarding.welcome.doubleLimits.description":"Z okazji premiery aplikacji Codex do 2 kwietnia możesz korzystać z podwójnego limitu zapytań.","electron.onboarding.welcome.freego.description":"Codex będzie dostępny bezpłatnie w Twoim planie do 2 marca – zacznijmy razem tworzyć rozwiązania.","electron.onboarding.welcome.new.title.anon":"Witaj","electron.onboarding.workspace.continue":"Kontynuuj","electron.onboarding.workspace.empty":"Aby kontynuować, dodaj projekt.","electron.onboarding.workspace.listLabel":"Dostępne projekty","electron.onboarding.workspace.loading":"Ładowanie projektów...","electron.onboarding.workspace.openFolder":"Dodaj projekt","electron.onboarding.workspace.selectAll":"Wybierz wszystko","electron.onboarding.workspace.skip":"Pomiń","electron.onboarding.workspace.skip.error":"Nie udało się utworzyć nowego projektu: {message}","electron.onboarding.workspace.skip.error.unknown":"Nieznany błąd","electron.onboarding.workspace.skipping":"Tworzenie nowego projektu...","electron.onboarding.workspace.subtitle":"Codex będzie mógł edytować pliki i uruchamiać komendy w wybranych folderach.","electron.onboarding.workspace.title":"Wybierz projekt","errorPage.list.checkSettings":"Zaktualizuj ustawienia IDE","errorPage.list.configToml":"Sprawdź, czy config.toml nie zawiera nieprawidłowych ustawień","errorPage.list.downloadExtension":"Pobierz inną wersję rozszerzenia","errorPage.list.runInWsl":"Sprawdź ustawienia, aby wyłączyć uruchamianie w WSL, jeśli występują problemy ze zgodnością","execApprovalRequest.menu.runAlways":"Tak; nie pytaj ponownie podczas tej sesji","execApprovalRequest.menu.runAlwaysWithAmendment":"Tak, i nie pytaj ponownie w przypadku komend zaczynających się od {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Tak, i nie pytaj ponownie w przypadku komend zaczynających się od","execApprovalRequest.menu.runOnce":"Tak","execApprovalRequest.prompt":"Czy chcesz uruchomić to polecenie?","execApprovalRequest.reject":"Nie","execFooter.exitCode":"Kod zakończenia {code}","execFooter.exitCode.unknown":"nieznany","execFooter.success":"Sukces","feedback.dialog.category.badResult":"Nieprawidłowy wynik","feedback.dialog.category.bug":"Błąd","feedback.dialog.category.goodResult":"Prawidłowy wynik","feedback.dialog.category.other":"Inne","feedback.dialog.descriptionPlaceholder":"Opisz problem","feedback.dialog.dismiss":"Odrzuć","feedback.dialog.includeLogsLabel":"Uwzględnij dzienniki bieżącej sesji Codex","feedback.dialog.submit":"Prześlij","feedback.dialog.submitError":"Nie udało się przesłać opinii. Spróbuj ponownie za chwilę.","feedback.dialog.title":"Opinia","feedback.dialog.uploadedMessage.existingIssue":"istniejący nierozwiązany problem","feedback.dialog.uploadedMessage.openIssue":"otwórz zgłoszenie problemu z GitHub","feedback.dialog.uploadedMessage.withThread":"Przesłano opinię. Jeśli problem będzie się powtarzał, {openIssueLink} lub wzmiankuj identyfikator wątku w {existingIssueLink}:","feedback.dialog.uploadedTitle":"Przesłano opinię","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Usuń {filename}","header.back":"Wstecz","header.recentChats":"Zadania","header.recentTasks.seeAll":"Wyświetl wszystkie ({total})","home.header.getPlus":"Wybierz plan Plus","home.hero.letsBuild":"Stwórzmy coś","homePage.mainContent":"Główna treść","imageAttachment.defaultName":"obraz","imageAttachment.preview.close":"Zamknij podgląd obrazu","imageAttachment.removeAriaLabel":"Usuń {filename}","implementPlanRequest.option.implement":"Tak, wdróż ten plan","implementPlanRequest.prompt":"Wdrożyć ten plan?","inbox.archived.deleteError":"Nie udało się usunąć zarchiwizowanego uruchomienia","inbox.archived.deleteRun":"Usuń zarchiwizowane uruchomienie","inbox.archived.deleteSuccess":"Zarchiwizowany wątek został usunięty. Zobacz w obszarze <settingsLink>Zarchiwizowane wątki</settingsLink>.","inbox.archived.inlineLabel.auto":"Ten wątek został automatycznie zarchiwizowany. <learnMoreLink>Więcej informacji</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ten wątek został zarchiwizowany.","inbox.archived.noMessageFound":"Nie znaleziono wiadomości","inbox.automations.createError":"Nie można utworzyć automatyzacji","inbox.automations.deleteConfirm.cancel":"Anuluj","inbox.automations.deleteConfirm.confirm":"Usuń automatyzację","inbox.automations.deleteConfirm.description":"To spowoduje trwałe usunięcie automatyzacji i zatrzymanie dalszych jej uruchomień w przyszłości.","inbox.automations.deleteConfirm.title":"Usunąć {name}?","inbox.automations.deleteError":"Nie udało się usunąć automatyzacji","inbox.automations.editTooltip":"Edycja automatyzacji","inbox.automations.inProgress":"W trakcie","inbox.automations.new":"Nowość","inbox.automations.newToolbar":"Nowa automatyzacja","inbox.automations.pauseTooltip":"Wstrzymanie automatyzacji","inbox.automations.resumeTooltip":"Wznowienie automatyzacji","inbox.automations.startingNow":"Trwa uruchamianie","inbox.automations.startsIn":"Rozpoczęcie za {startTime}","inbox.automations.status.active":"Aktywne","inbox.automations.status.paused":"Wstrzymano","inbox.automations.status.runs":"Uruchomienia: {count}","inbox.automations.status.started":"Rozpoczęto: {date}","inbox.automations.updateError":"Nie udało się zaktualizować automatyzacji","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Wszystkie","inbox.filter.ariaLabel":"Filtruj elementy w skrzynce odbiorczej","inbox.filter.unread":"Nieprzeczytane","inbox.list.archived":"Zarchiwizowane","inbox.list.inProgress":"W trakcie","inbox.list.recent":"Ukończono","inbox.list.upNext":"Zaplanowano","inbox.mode.automations":"Automatyzacje","inbox.mode.automations.beta":"Wersja beta","inbox.noDescription":"Nie dostarczono opisu","inbox.openThread":"Otwórz wątek","inbox.rightPanel.emptySubtitle":"Zautomatyzuj pracę, konfigurując zaplanowane zadania","inbox.rightPanel.emptySubtitle.learnMore":"Zautomatyzuj pracę, konfigurując zaplanowane wątki.<link>Więcej informacji</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktywna automatyzacja} few {# aktywne automatyzacje} many {# aktywnych automatyzacji} other {# aktywnej automatyzacji}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Brak nieodczytanych automatyzacji","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# nieodczytana automatyzacja} few {# nieodczytane automatyzacje} many {# nieodczytanych automatyzacji} other {# nieodczytanej automatyzacji}}","inbox.rightPanel.emptyTitle":"Bak wybranych elementów","inbox.rightPanel.noThread":"Brak wątków dla tego elementu","inbox.rightPanel.quickStart.header":"Zacznij od szablonu","inbox.untitled":"Element bez nazwy ze skrzynki odbiorczej","loadingPage.documentationLink":"dokumentacja","loadingPage.errorDescription":"Codex napotkał następujący błąd:","loadingPage.errorDescription.documentation":"Kliknij opcję Załaduj ponownie, aby ponownie uruchomić rozszerzenie Codex. Dodatkowe informacje zawiera nasza {documentationLink}.","loadingPage.errorSignal":"Warto wypróbować takie sposoby:","loadingPage.errorTitle":"Wystąpił błąd","loadingPage.openConfigToml":"Otwórz config.toml","loadingPage.reload":"Załaduj ponownie","localConversation.contextCompacted":"Nastąpiło automatyczne kompaktowanie kontekstu","localConversation.contextCompacting":"Automatyczne kompaktowanie kontekstu","localConversation.forkedFromConversation":"Rozwidlenie z {threadTitle}","localConversation.merge.autoResolve.failed":"Nie udało się zażądać automatycznego rozwiązywania: {error}","localConversation.merge.autoResolve.sent":"Wysłano żądanie automatycznego rozwiązywania","localConversation.merge.autoResolveMerge.missingConversation":"Nie można automatycznie rozwiązać bez aktywnej konwersacji.","localConversation.merge.autoResolveMerge.request":"Automatycznie rozwiązuj konflikty scalania","localConversation.modelChanged":"Zmieniono model z {fromModel} na {toModel}.","localConversation.modelChanged.warning.line1":"Zmiana modelu w trakcie konwersacji obniży jakość wyników.","localConversation.modelChanged.warning.line2":"Możliwa jest automatyczna kompresja kontekstu.","localConversation.moveThread.createBranch.label":"Utwórz gałąź","localConversation.moveToLocal.disabled.loading":"Ładowanie…","localConversation.moveToLocal.modal.continue":"Kontynuuj","localConversation.moveToLocal.modal.destinationLabel":"Przenieś do","localConversation.moveToLocal.modal.retry":"Ponów próbę","localConversation.moveToWorktree.modal.back":"Wstecz","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Gałąź już istnieje.","localConversation.moveToWorktree.modal.branchesError":"Nie można załadować gałęzi","localConversation.moveToWorktree.modal.branchesLoading":"Ładowanie gałęzi...","localConversation.moveToWorktree.modal.branchesRetry":"Ponów próbę","localConversation.moveToWorktree.modal.continue":"Kontynuuj","localConversation.moveToWorktree.modal.retry":"Ponów próbę","localConversation.moveToWorktree.modal.trailingSlashError":"Nazwa gałęzi nie może kończyć się znakiem „/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nowa-gałąź","localConversation.personalityChanged":"Przełączono na osobowość: {personality}","localConversation.planSummary.collapse":"Zwiń podsumowanie planu","localConversation.planSummary.collapseTooltip":"Zwiń","localConversation.planSummary.download":"Pobierz plan","localConversation.planSummary.expand":"Rozwiń podsumowanie planu","localConversation.planSummary.expandTooltip":"Rozwiń","localConversation.planSummary.openInNewWindow":"Otwórz","localConversation.planSummary.openInNewWindow.tooltip":"Otwórz w nowym oknie","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Pisanie planu","localConversation.planSummary.viewPlan":"Rozszerz plan","localConversation.remoteTaskCreated":"Utworzono {taskLink} w Codex Cloud","localConversation.remoteTaskCreated.task":"zadanie","localConversation.scrollToBottomButton":"Przewiń na dół","localConversation.sync.buttonLabel":"Przekaż do lokalnego repozytorium","localConversation.sync.buttonLabel.tooltip":"Przekaż zmiany między tym drzewem roboczym a lokalną wyrejestrowaną kopią.","localConversation.sync.modal.loading.title":"Przekazywanie zmian...","localConversation.sync.modal.noChanges":"Brak zmian","localConversation.syncSetup.branchAriaLabel":"Nazwa gałęzi","localConversation.syncSetup.branchName":"Nazwa gałęzi","localConversation.syncSetup.branchPlaceholder.existing":"Wybierz istniejącą gałąź","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Ładowanie gałęzi...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Na tę gałąź już się przełączono","localConversation.syncSetup.checkoutClean":"Aktualnie w {branchName}","localConversation.syncSetup.checkoutDirty":"Bieżąca gałąź to {branchName} z niezatwierdzonymi zmianami","localConversation.syncSetup.checkoutError":"Nie udało się przełączyć na gałąź: {message}","localConversation.syncSetup.checkoutLabel":"Przełącz się lokalnie już teraz","localConversation.syncSetup.checkoutOnLocal":"Przekaż do lokalnego repozytorium","localConversation.syncSetup.checkoutPending":"Sprawdzanie statusu lokalnego...","localConversation.syncSetup.checkoutUnavailable":"Lokalny obszar roboczy jest niedostępny","localConversation.syncSetup.checkoutUnknown":"Lokalna gałąź nie jest dostępna","localConversation.syncSetup.continue":"Kontynuuj","localConversation.syncSetup.createBranchError":"Nie udało się ustawić gałęzi docelowej przekazania: {message}","localConversation.syncSetup.error":"Wystąpił problem: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nie udało się wykonać migawki drzewa roboczego. Spróbuj ponowić przekazywanie.","localConversation.syncSetup.mode.ariaLabel":"Wybierz tryb gałęzi","localConversation.syncSetup.mode.existing":"Istniejąca gałąź","localConversation.syncSetup.mode.new":"Nowa gałąź","localConversation.syncSetup.noBranches":"Nie znaleziono żadnych gałęzi","localConversation.syncSetup.overwriteError":"Gałąź została utworzona, ale przekazywanie zmian nie zostało ukończone. Przed przełączeniem się na gałąź lokalnie dokończ przekazywanie ręcznie.","localConversation.syncSetup.setPrefix":"Ustaw prefiks","localConversation.syncSetup.subtitle":"Testuj i edytuj zmiany w drzewie roboczym lokalnie. <a>Więcej informacji</a>","localConversation.syncSetup.success.checkedOut":"Gałąź została utworzona i przełączono się na nią lokalnie","localConversation.syncSetup.success.notCheckedOut":"Gałąź została utworzona","localConversation.syncSetup.title":"Przekaż do lokalnej gałęzi","localConversation.syncWorktreeError.branchAriaLabel":"Nazwa gałęzi","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Wybierz gałąź docelową przekazania, a następnie ponów próbę załadowania zmian.","localConversation.syncWorktreeError.branchSetup.title":"Zaktualizuj gałąź","localConversation.syncWorktreeError.branchUpdate.cta":"Zaktualizuj i spróbuj ponownie","localConversation.syncWorktreeError.branchUpdate.error":"Nie udało się zaktualizować gałęzi: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Wystąpił problem: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Nie przełączono się na gałąź w żadnym drzewie roboczym.","localConversation.syncWorktreeV2.applyUncommitted":"Zastosuj","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Aby zastosować niezatwierdzone zmiany, musisz przełączyć się na gałąź lokalnie","localConversation.syncWorktreeV2.branches.empty":"Nie znaleziono żadnych gałęzi","localConversation.syncWorktreeV2.branches.loading":"Ładowanie gałęzi...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Zmień gałąź docelową przekazania","localConversation.syncWorktreeV2.changeBranch.error":"Nie udało się zmienić gałęzi docelowej przekazania: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Nie udało się zastosować","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Nie udało się nadpisać drzewa roboczego","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Nie udało się nadpisać lokalnego repozytorium","localConversation.syncWorktreeV2.commandError.back":"Wstecz","localConversation.syncWorktreeV2.commandError.body":"Niepowodzenie komendy git podczas przekazywania. Sprawdź dane wyjściowe i spróbuj ponownie.","localConversation.syncWorktreeV2.commandError.retry":"Ponów próbę","localConversation.syncWorktreeV2.description":"Przekaż zmiany między lokalnym repozytorium i tym drzewem roboczym <a>Więcej informacji</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Wybierz kierunek przekazania","localConversation.syncWorktreeV2.error.generic":"Wystąpił problem podczas przekazywania. Spróbuj ponownie.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalne","localConversation.syncWorktreeV2.noChanges":"Obliczanie zmian","localConversation.syncWorktreeV2.noChanges.summary":"Brak zmian","localConversation.syncWorktreeV2.overwrite.local":"Nadpisz lokalne repozytorium","localConversation.syncWorktreeV2.overwrite.worktree":"Nadpisz drzewo robocze","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nie udało się zastosować zmian","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nie udało się nadpisać zmian w lokalnym repozytorium","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nie udało się nadpisać zmian w drzewie roboczym","localConversation.syncWorktreeV2.partial.appliedLabel":"Zastosowano","localConversation.syncWorktreeV2.partial.back":"Wstecz","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Usuń konflikty i spróbuj ponownie.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikty","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# plik} few {Pliki: #} many {Pliki: #} other {Pliki: #}}","localConversation.syncWorktreeV2.partial.retry":"Ponów próbę","localConversation.syncWorktreeV2.partial.skippedLabel":"Pominięto","localConversation.syncWorktreeV2.stateFailed.generic":"Wystąpił błąd podczas pobierania zmian z drzewa roboczego do przekazania. Spróbuj ponownie.","localConversation.syncWorktreeV2.stateFailed.title":"Nie udało się załadować zmian w drzewie roboczym","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nie udało się załadować zmian w drzewie roboczym.","localConversation.syncWorktreeV2.statusError.retry":"Ponów próbę","localConversation.syncWorktreeV2.statusError.title":"Nie udało się załadować zmian w lokalnej gałęzi","localConversation.syncWorktreeV2.statusError.unknown":"Status gałęzi jest teraz niedostępny. Spróbuj ponownie.","localConversation.syncWorktreeV2.success.apply":"Pomyślnie zastosowano zmiany","localConversation.syncWorktreeV2.success.overwrite":"Przekazano pomyślnie","localConversation.syncWorktreeV2.title":"Przekaż zmiany","localConversation.syncWorktreeV2.worktreeLabel":"Drzewo robocze","localConversation.userInputRequest.inProgress":"Zadaję pytanie {count, plural, one {pytanie} few {pytania} many {pytań} other {pytania}}","localConversation.userInputRequest.noAnswer":"Nie podano odpowiedzi","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Zadano","localConversation.userInputRequest.summary.count":"{count, plural, one {# pytanie} few {# pytania} many {# pytań} other {# pytania}}","localConversation.workedFor":"Pracował przez {time}","localConversation.worktreeBranchSetup.action.create":"Utwórz","localConversation.worktreeBranchSetup.branchAriaLabel":"Nazwa gałęzi","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Utwórz nową gałąź","localConversation.worktreeBranchSetup.checkoutDisabled":"Już przełączono się na tę gałąź w {location}","localConversation.worktreeBranchSetup.checkoutError":"Nie udało się przełączyć na gałąź: {message}","localConversation.worktreeBranchSetup.createBranchError":"Nie udało się ustawić gałęzi: {message}","localConversation.worktreeBranchSetup.error":"Wystąpił problem: {message}","localConversation.worktreeBranchSetup.subtitle":"Utwórz gałąź, aby zatwierdzić zmiany, wykonać działanie wypchnięcia i utworzyć żądanie PR z poziomu tego drzewa roboczego. <a>Więcej informacji</a>","localConversation.worktreeBranchSetup.title":"Pracuj tutaj","localConversationPage.addWorktreeToSidebar.tooltip":"Zapisz jako projekt, aby móc tworzyć nowe wątki z poziomu tego drzewa roboczego","localConversationPage.addWorktreeToSidebarError":"Nie udało się dodać projektu","localConversationPage.commitAndCreatePrModal.errorTitle":"Zatwierdzanie i tworzenie PR nie powiodło się","localConversationPage.commitAndCreatePrModal.successTitle":"Zatwierdzono i utworzono PR","localConversationPage.commitAndPushModal.errorTitle":"Zatwierdzanie i wypychanie zmian nie powiodło się","localConversationPage.commitAndPushModal.successTitle":"Zatwierdzono i wypchnięto zmiany","localConversationPage.commitCreatePr.open":"Otwórz żądanie ściągnięcia","localConversationPage.commitCreatePr.successTitle":"Utworzono PR obejmujące najnowsze zmiany","localConversationPage.createBranchButtonLabel":"Utwórz gałąź tutaj","localConversationPage.createPrModal.baseBranch":"Podstawa","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Utwórz PR","localConversationPage.createPrModal.createDescription":"Otwórz żądanie ściągnięcia dla najnowszych zmian.","localConversationPage.createPrModal.errorTitle":"Niepowodzenie żądania ściągnięcia","localConversationPage.createPrModal.headBranch":"Nagłówek","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Otwórz PR","localConversationPage.createPrModal.successTitle":"Utworzono żądanie ściągnięcia","localConversationPage.createPrModal.title":"Utwórz żądanie ściągnięcia","localConversationPage.createPrModal.viewDescription":"Żądanie ściągnięcia dla tej gałęzi już istnieje.","localConversationPage.createPrModal.viewTitle":"Żądanie ściągnięcia jest gotowe","localConversationPage.createPullRequestAuthGh":"Uwierzytelnij CLI GitHub: uruchom `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informacje o gałęzi nie są dostępne","localConversationPage.createPullRequestButtonLabel":"Utwórz PR","localConversationPage.createPullRequestButtonLabel.loading":"Tworzenie PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Informacje o gałęzi domyślnej nie są dostępne","localConversationPage.createPullRequestError":"Nie udało się utworzyć żądania ściągnięcia","localConversationPage.createPullRequestExistingPullRequest":"Żądanie ściągnięcia dla tej gałęzi już istnieje","localConversationPage.createPullRequestGhStatusMissing":"Ładowanie statusu CLI GitHub…","localConversationPage.createPullRequestInstallGh":"Zainstaluj CLI GitHub (gh), aby tworzyć PR","localConversationPage.createPullRequestNoRepo":"Nie znaleziono repozytorium git","localConversationPage.createPullRequestPushStatusMissing":"Ładowanie statusu wypchnięcia...","localConversationPage.createPullRequestSetUpstream":"Wypchnij tę gałąź przed utworzeniem PR","localConversationPage.createPullRequestSuccessToast":"Utworzono żądanie ściągnięcia","localConversationPage.createPullRequestSwitchBranch":"Przełącz się na gałąź funkcji przed utworzeniem PR","localConversationPage.error.render":"Błąd przy renderowaniu lokalnej konwersacji","localConversationPage.error.toast":"Nie znaleziono konwersacji","localConversationPage.forcePushError":"Nie udało się wymusić wypchnięcia","localConversationPage.generatePullRequestMessageError":"Nie udało się wygenerować tytułu i treści żądania ściągnięcia","localConversationPage.generatePullRequestMessageFailed":"Nie udało się wygenerować tytułu i treści żądania ściągnięcia.","localConversationPage.gitActionResult.branch":"Gałąź","localConversationPage.gitActionResult.cancel":"Anuluj","localConversationPage.gitActionResult.close":"Zamknij","localConversationPage.gitActionResult.tryAgain":"Spróbuj ponownie","localConversationPage.gitActions":"Działania dla gita","localConversationPage.newChat":"Nowy czat","localConversationPage.openInTarget":"Otwórz w","localConversationPage.openPrimaryTarget":"Otwórz","localConversationPage.planItemsCompleted":"{completedItems} z {totalItems, plural, one {Zakończone zadania: #} few {Zakończone zadania: #} many {Zakończone zadania: #} other {Zakończone zadania: #}}","localConversationPage.pushAuthError":"Nie udało się wypchnąć: wymagane uwierzytelnianie wieloskładnikowe","localConversationPage.pushBranchMissing":"Informacje o gałęzi nie są dostępne","localConversationPage.pushButtonLabel":"Powiadomienie push","localConversationPage.pushButtonLabel.loading":"Wypychanie...","localConversationPage.pushError":"Nie udało się wypchnąć zmian","localConversationPage.pushModal.branchLabel":"Gałąź","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Anuluj","localConversationPage.pushModal.confirm":"Powiadomienie push","localConversationPage.pushModal.description":"Wypchnij najnowsze zatwierdzone zmiany do zdalnego repozytorium.","localConversationPage.pushModal.errorTitle":"Niepowodzenie wypchnięcia","localConversationPage.pushModal.forcePush":"Wymuś wypchnięcie","localConversationPage.pushModal.successTitle":"Zakończono wypchnięcie","localConversationPage.pushModal.title":"Wypchnij zmiany","localConversationPage.pushModal.tryAgain":"Spróbuj ponownie","localConversationPage.pushNoUpstream":"Przed wypchnięciem tej gałęzi ustaw gałąź macierzystą","localConversationPage.pushNoUpstreamError":"Nie udało się wypchnąć: nie skonfigurowano gałęzi macierzystej","localConversationPage.pushNothingToPush":"Nie ma nowych zatwierdzeń do wypchnięcia","localConversationPage.pushRemoteChangedError":"Nie udało się wypchnąć: zdalne repozytorium ma nowe zatwierdzone zmiany","localConversationPage.pushRemoteRejectedError":"Wypchnięcie zmian odrzucone przez zdalne repozytorium","localConversationPage.pushStatusMissing":"Ładowanie statusu wypchnięcia...","localConversationPage.pushSuccessToast":"Zmiany zostały wypchnięte","localConversationPage.viewPullRequestButtonLabel":"Wyświetl PR","localConversationPage.viewPullRequestButtonLabel.loading":"Ładowanie żądania ściągnięcia…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# plik} few {# pliku} many {# pliku} other {# pliku}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} few {# listy} many {# list} other {# listy}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {Wyszukiwania: #} few {Wyszukiwania: #} many {Wyszukiwania: #} other {Wyszukiwania: #}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Odkrywanie","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Odkryto","localConversationTurn.exploration.accordion.header.complete.withCounts":"Odkryto: {counts}","localConversationTurnStory.showContent":"Pokaż treść","localConversationTurnStory.streamContent":"Treść strumienia","localConversationTurnStory.toggleReasoning":"Pokaż rozumowanie","localTaskRow.archiveError":"Nie udało się zarchiwizować konwersacji","localTaskRow.resumeError":"Nie udało się wznowić zadania","mermaidDiagram.ariaLabel":"Diagram Mermaid","mermaidDiagram.copySource":"Kopiuj mermaid","mermaidDiagram.originalCode":"Kod źródłowy Mermaid","notifications.permissions.description":"Pokazuj ostrzeżenia, gdy wymagane są uprawnienia do powiadomień","notifications.permissions.label":"Powiadomienia o włączeniu uprawnień","notifications.turnMode.always":"Zawsze","notifications.turnMode.description":"Określ, kiedy agent Codex ma powiadamiać Cię o ukończeniu działania","notifications.turnMode.label":"Powiadomienia o ukończeniu tury","notifications.turnMode.off":"Nigdy","notifications.turnMode.unfocused":"Tylko gdy nie ma fokusu","patchApprovalRequest.approve":"Zatwierdź","patchApprovalRequest.menu.allowAlways":"Tak; nie pytaj ponownie podczas tej sesji","patchApprovalRequest.menu.allowForSession":"Tak; nie pytaj ponownie podczas tej sesji","patchApprovalRequest.menu.allowOnce":"Tak","patchApprovalRequest.prompt":"Czy chcesz wprowadzić te zmiany?","patchApprovalRequest.reject":"Nie","patchApprovalRequest.waitingForApproval":"Oczekiwanie na zatwierdzenie edycji plików","pendingRequest.approvalExec.collapse":"Zwiń","pendingRequest.approvalExec.expand":"Rozwiń","pendingRequestStory.toastAnswer":"Odpowiedź: {answer}","pendingRequestStory.toastApprovalTitle":"Odpowiedź dotycząca zatwierdzenia","pendingRequestStory.toastFollowupPrompt":"Polecenie: {prompt}","pendingRequestStory.toastFollowupTitle":"Wysłano odpowiedź","pendingRequestStory.toastNoAnswers":"Nie podano odpowiedzi","pendingRequestStory.toastQuestion":"Pytanie {question}","pendingRequestStory.toastUnknownDecision":"Nieznane","pendingRequestStory.toastUserInputTitle":"Przesłane odpowiedzi","quickAction.request.codeReview.branches.new":"Sprawdź zmiany w {from} względem {to}","quickAction.request.codeReview.uncommitted.new":"Sprawdź moje niezatwierdzone zmiany","reasoningItem.thinking":"Myśli","reasoningItem.thought":"Myślał","reasoningItem.thoughtWithElapsed":"Myślał przez {elapsed}","recentConversations.title":"Ostatnie konwersacje","recentTasks.worktreeInitFailedTitle":"Nie udało się zainicjować drzewa roboczego","recentTasks.worktreeSettingUpTitle":"Konfigurowanie drzewa roboczego","requestInputPanel.continue":"Kontynuuj","requestInputPanel.dismiss":"Odrzuć","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Wpisz tutaj","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nie; powiedz agentowi, co ma zrobić inaczej","requestInputPanel.selectedBadge":"Wybrane","requestInputPanel.skip":"Pomiń","requestInputPanel.submit":"Prześlij","review.commit.ariaLabel.includeUnstaged":"Uwzględnij zmiany spoza poczekalni","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Zatwierdzanie...","review.commit.disabled.loadingDiff":"Ładowanie diffa…","review.commit.disabled.missingContext":"Dodaj kontekst, aby wygenerować opis zmian dla zatwierdzenia","review.commit.disabled.noChanges":"Brak zmian do zatwierdzenia","review.commit.disabled.noSelection":"Wybierz zmiany do zatwierdzenia","review.commit.disabled.unavailable":"Zatwierdzenie jest teraz niedostępne","review.commit.error":"Nie udało się zatwierdzić zmian","review.commit.form.changesToBeCommitted":"Zmiany","review.commit.form.commitTo":"Gałąź","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Kontynuuj","review.commit.form.title":"Zatwierdzanie zmian","review.commit.generate.emptyResponse":"Nie udało się wygenerować opisu zmian dla zatwierdzenia.","review.commit.generate.failed":"Nie udało się wygenerować opisu zmian dla zatwierdzenia: {error}","review.commit.generate.missingPrompt":"Dodaj kontekst, aby wygenerować opis zmian dla zatwierdzenia.","review.commit.includeUnstaged":"Uwzględnij zmiany spoza poczekalni","review.commit.loading.description":"Prosimy o cierpliwość. To może zająć chwilę.","review.commit.loading.step.commit.done":"Zatwierdzone zmiany","review.commit.loading.step.commit.pending":"Zatwierdzanie zmian","review.commit.loading.step.createPr.done":"Utworzono żądanie ściągnięcia","review.commit.loading.step.createPr.pending":"Tworzenie żądania ściągnięcia","review.commit.loading.step.push.done":"Wypchnięto do gałęzi {branch}","review.commit.loading.step.push.pending":"Wypychanie do gałęzi {branch}","review.commit.loading.title.commit":"Zatwierdzanie zmian","review.commit.loading.title.createPr":"Tworzenie PR","review.commit.loading.title.push":"Wypychanie zmian","review.commit.messageLabel":"Wiadomość commitu","review.commit.messagePlaceholder":"Pozostaw to pole puste, aby opis zmian dla zatwierdzenia został wygenerowany automatycznie","review.commit.nextSteps":"Następne kroki","review.commit.nextSteps.commit":"Zatwierdzenie","review.commit.nextSteps.commitAndCreate":"Zatwierdź i utwórz PR","review.commit.nextSteps.commitAndPush":"Zatwierdź i wypchnij","review.commit.nextSteps.prRequiresGh":"Wymaga GitHub CLI: {command}","review.commit.rows.changes":"Zmiany","review.commit.rows.commitCount":"{count, plural, one {# zatwierdzenie} few {# zatwierdzenia} many {# zatwierdzeń} other {# zatwierdzenia}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# zatwierdzenie} few {# zatwierdzenia} many {# zatwierdzeń} other {# zatwierdzenia}} i {stats}","review.commit.rows.fileCount":"{count, plural, one {# plik} few {Pliki: #} many {Pliki: #} other {Pliki: #}}","review.commit.state.error.body":"Wystąpił problem podczas zatwierdzania. Sprawdź status git i spróbuj ponownie.","review.commit.state.error.title":"Niepowodzenie zatwierdzania","review.commit.state.success.title":"Zatwierdzono zmiany","review.commit.untracked.loadingStats":"Ładowanie statystyki nieśledzonych diffów...","reviewFindingAttachments.count":"{count, plural, one {# ustalenie} few {# ustalenia} many {# ustaleń} other {# ustalenia}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Edytuj konfigurację, aby dostosować działanie agenta","settings.agent.configuration.configToml.docs":"Dokumenty","settings.agent.configuration.configToml.restartNote":"Po zakończeniu edytowania uruchom ponownie Codex, aby zastosować zmiany.","settings.agent.configuration.subtitle":"Te ustawienia obowiązują wszędzie, gdzie używany jest Codex","settings.automations.banner.danger":"Automatyzacje są uruchamiane z domyślnymi ustawieniami piaskownicy, czyli obecnie z pełnym dostępem. Uruchamianie automatyzacji w tle z pełnym dostępem wiąże się z podwyższonym ryzykiem, ponieważ agent Codex może modyfikować pliki, wykonywać komendy i uzyskiwać dostęp do sieci bez pytania o zgodę. Rozważ zmianę ustawień piaskownicy dotyczących zapisu w obszarze roboczym i użycie <rulesDocsLink>reguł</rulesDocsLink> w celu określenia komend, które agent może wykonywać z pełnym dostępem.","settings.automations.banner.defaultHowTo.default":"Automatyzacje są uruchamiane z domyślnymi ustawieniami piaskownicy. Wywołania narzędzi, które wymagają modyfikacji plików poza obszarem roboczym, dostępu do sieci lub współdziałania z aplikacjami na komputerze, zakończą się niepowodzeniem. Przy użyciu <rulesDocsLink>reguł</rulesDocsLink> możesz określić komendy, które można wykonywać poza piaskownicą.","settings.automations.banner.defaultHowTo.readOnly":"Automatyzacje są uruchamiane z domyślnymi ustawieniami piaskownicy, czyli „tylko do odczytu”. Wywołania narzędzi, które wymagają modyfikacji plików poza obszarem roboczym, dostępu do sieci lub współdziałania z aplikacjami na komputerze, zakończą się niepowodzeniem. Rozważ zmianę ustawień piaskownicy dotyczących zapisu w obszarze roboczym.","settings.automations.cancel":"Anuluj","settings.automations.create":"Utwórz","settings.automations.cwdEmpty":"Brak dostępnych folderów projektów","settings.automations.cwdLabel":"Projekty","settings.automations.cwdPlaceholder":"Wybierz folder","settings.automations.cwdSubtitle":"Jeśli automatyzacja ma działać w określonej gałęzi, możesz to określić w poleceniu.","settings.automations.delete":"Usuń","settings.automations.dialog.editTitle":"Edycja automatyzacji","settings.automations.dialog.newTitle":"Nowa automatyzacja","settings.automations.dialog.subtitle":"Zautomatyzuj powtarzające się zadania w tle. Agent Codex dodaje ustalenia do skrzynki odbiorczej lub automatycznie archiwizuje zadanie, jeśli nie ma nic do zgłoszenia. <learnMoreLink>Więcej informacji</learnMoreLink>","settings.automations.dialog.title":"Tworzenie automatyzacji","settings.automations.executionCopy.git":"Automatyzacje działają w tle przy użyciu dedykowanych drzew roboczych.","settings.automations.executionCopy.nonGit":"Automatyzacje w projektach bez kontroli wersji działają bezpośrednio w katalogu projektu. Rozważ użycie oprogramowania Git w celu umożliwienia działania przy użyciu drzew roboczych w tle.","settings.automations.executionEnvironment.local":"Lokalne","settings.automations.executionEnvironment.worktree":"Drzewo robocze","settings.automations.loading":"Ładowanie…","settings.automations.nameLabel":"Nazwa","settings.automations.namePlaceholder":"Sprawdź, czy nie występują problemy związane z monitorowaniem","settings.automations.pause":"Wstrzymaj","settings.automations.promptLabel":"Polecenie","settings.automations.promptPlaceholder":"poszukaj awarii w $Sentry","settings.automations.resume":"Wznów","settings.automations.rruleSummaryFallback":"Harmonogram niestandardowy","settings.automations.runNow":"Test","settings.automations.save":"Zapisz","settings.automations.scheduleBadge.dayCount":"{count} d.","settings.automations.scheduleBadge.interval":"{count} godz.","settings.automations.scheduleBadge.weekdays":"Dni robocze","settings.automations.scheduleBadge.weekends":"Dni robocze","settings.automations.scheduleHeader":"Zaplanuj","settings.automations.scheduleHours":"godz.","settings.automations.scheduleLabel":"Uruchamiaj co","settings.automations.scheduleMode.daily":"Codziennie","settings.automations.scheduleMode.interval":"Interwał","settings.automations.scheduleModeLabel":"Typ harmonogramu","settings.automations.scheduleSummary.daily":"Codziennie o {time}","settings.automations.scheduleSummary.interval":"Co {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dzień} few {# dnia} many {# dnia} other {# dnia}}","settings.automations.scheduleSummary.intervalDays":"{interval}w dniu {days}","settings.automations.scheduleSummary.intervalHourly":"Co godzinę","settings.automations.scheduleSummary.singleDay":"{day} o {time}","settings.automations.scheduleSummary.weekdays":"Dni robocze o {time}","settings.automations.scheduleSummary.weekdaysLabel":"dni robocze","settings.automations.scheduleSummary.weekends":"Weekendy o {time}","settings.automations.scheduleSummary.weekendsLabel":"weekendy","settings.automations.scheduleSummary.weekly":"{days} o {time}","settings.automations.scheduleWeekdays":"Wł.","settings.automations.weekdayState.excluded":"Wykluczone","settings.automations.weekdayState.included":"Włączone","settings.conversationDetail.steps":"Kroki","settings.conversationDetail.steps.description":"Ukryj polecenia i wyniki","settings.conversationDetail.stepsWithCommands":"Kroki z poleceniami dotyczącymi kodu","settings.conversationDetail.stepsWithCommands.description":"Pokaż polecenia, zwiń wyniki","settings.conversationDetail.stepsWithOutput":"Kroki z wynikami dotyczącymi kodu","settings.conversationDetail.stepsWithOutput.description":"Pokaż polecenia i rozwiń wyniki","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Brak zarchiwizowanych czatów.","settings.dataControls.archivedChats.error":"Nie udało się załadować zarchiwizowanych czatów.","settings.dataControls.archivedChats.loading":"Ładowanie zarchiwizowanych czatów...","settings.dataControls.archivedChats.unarchive":"Przywróć z archiwum","settings.dataControls.archivedChats.unarchiveError":"Nie udało się przywrócić czatu z archiwum","settings.dataControls.archivedChats.unarchiveSuccess":"Wątek został przywrócony z archiwum. <viewNowLink>Wyświetl teraz</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Wątek został przywrócony z archiwum.","settings.dataControls.archivedChats.untitled":"Czat bez tytułu","settings.dataControls.archivedChats.viewNow":"Wyświetl teraz","settings.editRow.headerPlaceholder":"Klucz","settings.editRow.removeEntry":"Usuń pozycję","settings.editRow.valuePlaceholder":"Wartość","settings.general.appearance":"Wygląd","settings.general.appearance.codeFont":"Czcionka kodu","settings.general.appearance.codeFont.description":"Dostosuj krój i rozmiar czcionki używanej do wyświetlania kodu w czatach i diffach","settings.general.appearance.codeFontFamily":"Rodzina czcionek kodu","settings.general.appearance.codeFontSize":"Rozmiar czcionki kodu","settings.general.appearance.codeFontSize.units":"pix","settings.general.appearance.opaqueWindows.description":"Okna będą miały jednolite tło zamiast ustawienia przezroczystości systemu","settings.general.appearance.opaqueWindows.label":"Użyj nieprzezroczystego tła okna","settings.general.appearance.sansFontFamily":"Rodzina czcionek bezszeryfowych","settings.general.appearance.sansFontFamily.description":"Dostosuj czcionkę używaną w interfejsie Codex","settings.general.appearance.sansFontSize":"Rozmiar czcionki bezszeryfowej","settings.general.appearance.sansFontSize.units":"pix","settings.general.appearance.sparkCelebrationEffects.description":"Pokaż efekty wiwatów w całym oknie przy pierwszym uruchomieniu modelu GPT-5.3-Codex-Spark","settings.general.appearance.sparkCelebrationEffects.label":"Efekty wiwatów dla Spark","settings.general.appearance.theme":"Motyw","settings.general.appearance.theme.dark":"Ciemny","settings.general.appearance.theme.description":"Użyj jasnego, ciemnego lub dopasuj do systemu","settings.general.appearance.theme.light":"Jasny","settings.general.appearance.theme.system":"Systemowy","settings.general.appearance.usePointerCursors.description":"Zmień kursor na wskaźnik po wskazaniu elementów interaktywnych","settings.general.appearance.usePointerCursors.label":"Użyj kursorów wskaźnika","settings.general.enterBehavior.description":"Gdy to ustawienie jest włączone, wysłanie poleceń składających się z wielu wierszy wymaga kombinacji {modifierSymbol} + klawisz enter.","settings.general.enterBehavior.label":"Wymagaj kombinacji {modifierSymbol} + do wysłania długich poleceń","settings.general.experimentalFeatures":"Funkcje eksperymentalne (beta)","settings.general.experimentalFeatures.empty":"Brak eksperymentalnych funkcji w wersji beta.","settings.general.experimentalFeatures.loading":"Ładowanie funkcji eksperymentalnych...","settings.general.experimentalFeatures.restartNote":"Uruchom ponownie Codex, aby zastosować zmiany funkcji eksperymentalnych","settings.general.experimentalFeatures.toggle":"Przełącz {featureName}","settings.general.followUpQueueMode.description":"Dodaj do kolejki kolejne działania w trakcie działania agenta Codex lub steruj bieżącym uruchomieniem. Naciśnij {invertFollowUpShortcutLabel}, aby wykonać działanie odwrotne dla jednej wiadomości.","settings.general.followUpQueueMode.interrupt":"Kieruj","settings.general.followUpQueueMode.label":"Kolejne działania","settings.general.followUpQueueMode.queue":"Kolejka","settings.general.notifications":"Powiadomienia","settings.general.power.preventSleepWhileRunning.description":"Nie wyłączaj komputera, w czasie gdy Codex wykonuje wątek.","settings.general.power.preventSleepWhileRunning.label":"Zapobiegaj uśpieniu podczas działania","settings.git.branchPrefix.ariaLabel":"Prefiks gałęzi","settings.git.branchPrefix.description":"Prefiks używany przy tworzeniu nowej gałęzi w Codex","settings.git.branchPrefix.label":"Prefiks gałęzi","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Nie udało się zapisać prefiksu gałęzi","settings.git.branchPrefix.save.success":"Zapisano prefiks gałęzi","settings.git.commitInstructions.ariaLabel":"Instrukcje dotyczące zatwierdzenia","settings.git.commitInstructions.description":"Dodano do poleceń generowania opisu zmian dla zatwierdzenia","settings.git.commitInstructions.label":"Instrukcje dotyczące zatwierdzenia","settings.git.commitInstructions.placeholder":"Dodaj wytyczne dotyczące opisu zmian dla zatwierdzenia...","settings.git.commitInstructions.save":"Zapisz","settings.git.commitInstructions.save.error":"Nie udało się zapisać instrukcji dotyczących zatwierdzenia","settings.git.commitInstructions.save.success":"Instrukcje dotyczące zatwierdzenia zostały zapisane","settings.git.forcePush.ariaLabel":"Zawsze wymuszaj wypchnięcie","settings.git.forcePush.description":"Użyj --force-with-lease przy wypychaniu zmian z Codex","settings.git.forcePush.label":"Zawsze wymuszaj wypchnięcie","settings.git.forcePush.save.disabled":"Zawsze wymuszaj wypchnięcie – wyłączono","settings.git.forcePush.save.enabled":"Zawsze wymuszaj wypchnięcie – włączono","settings.git.forcePush.save.error":"Nie udało się zapisać ustawienia wymuszającego wypchnięcie","settings.git.prInstructions.ariaLabel":"Instrukcje dotyczące żądania ściągnięcia","settings.git.prInstructions.description":"Dodane do treści żądań ściągnięcia utworzonych przez agenta Codex","settings.git.prInstructions.label":"Instrukcje dotyczące żądania ściągnięcia","settings.git.prInstructions.placeholder":"Dodaj wytyczne dotyczące żądania ściągnięcia…","settings.git.prInstructions.save":"Zapisz","settings.git.prInstructions.save.error":"Nie udało się zapisać instrukcji dotyczących żądania ściągnięcia","settings.git.prInstructions.save.success":"Instrukcje dotyczące żądania ściągnięcia zostały zapisane","settings.ide.defaultOpenTarget.description":"Tu domyślnie otwierane są pliki i foldery","settings.ide.defaultOpenTarget.label":"Domyślne miejsce otwierania","settings.ide.defaultOpenTarget.placeholder":"Nie znaleziono platform docelowych","settings.ide.language.auto":"Wykryj automatycznie","settings.ide.language.autoOption":"Wykryj automatycznie","settings.ide.language.description":"Język interfejsu aplikacji","settings.ide.language.label":"Język","settings.ide.language.search":"Szukaj języków","settings.layout.actionButton":"Zacznij przedłużanie od nowa","settings.layout.actionTitle":"Ustawienia z działaniem","settings.layout.fullWidthTitle":"Ustawienia (pełna szerokość)","settings.layout.title":"Ustawienia","settings.localEnvironments.actions.add":"Dodaj działanie","settings.localEnvironments.actions.add.description":"Utwórz nowe polecenie uruchamiane z paska narzędzi.","settings.localEnvironments.actions.add.save":"Zapisz","settings.localEnvironments.actions.empty":"Dodaj działanie, aby uruchamiać polecenia z lokalnego paska narzędzi.","settings.localEnvironments.actions.icon.debug":"Debugowanie","settings.localEnvironments.actions.icon.run":"Uruchom","settings.localEnvironments.actions.icon.test":"Testuj","settings.localEnvironments.actions.icon.tool":"Narzędzie","settings.localEnvironments.actions.item.button.delete":"Usuń","settings.localEnvironments.actions.item.command":"Skrypt działania","settings.localEnvironments.actions.item.name":"Nazwa","settings.localEnvironments.actions.item.platforms":"Platformy","settings.localEnvironments.actions.item.platforms.help":"Działa tylko w określonym systemie operacyjnym.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Wybór platformy","settings.localEnvironments.actions.item.platforms.specific":"Dla określonej platformy","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Usuń","settings.localEnvironments.actions.title":"Działania","settings.localEnvironments.breadcrumb.back":"Wstecz","settings.localEnvironments.breadcrumb.edit":"edytuj","settings.localEnvironments.breadcrumb.root":"Środowiska","settings.localEnvironments.environment.actions.description":"Te działania mogą uruchamiać dowolne polecenia i będą wyświetlane w nagłówku.","settings.localEnvironments.environment.actionsLabel":"Działania","settings.localEnvironments.environment.create":"Utwórz środowisko lokalne","settings.localEnvironments.environment.defaultName":"lokalne","settings.localEnvironments.environment.edit":"Edytuj środowisko lokalne","settings.localEnvironments.environment.empty":"Dla tego projektu jeszcze nie skonfigurowano środowiska lokalnego.","settings.localEnvironments.environment.name":"Nazwa","settings.localEnvironments.environment.setup":"Skrypt konfiguracji","settings.localEnvironments.environment.setup.description":"Ten skrypt zostanie uruchomiony przy utworzeniu drzewa roboczego.","settings.localEnvironments.environment.setup.hint":"Działa w katalogu głównym projektu.","settings.localEnvironments.environment.setup.platformOverrides":"Ustawienia nadrzędne platformy","settings.localEnvironments.environment.setup.platformOverrides.add":"Dodaj skrypt konfiguracyjny platformy {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Zastępuje skrypt domyślny dla określonych systemów operacyjnych.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Usuń","settings.localEnvironments.environment.setup.script":"Skrypt","settings.localEnvironments.environment.title":"Dane szczegółowe środowiska","settings.localEnvironments.file.missing":"Zapisz, aby utworzyć ten plik po raz pierwszy.","settings.localEnvironments.file.parseError":"Nie można przeanalizować treści istniejącego pliku. Po zapisaniu zostanie on nadpisany. ({error})","settings.localEnvironments.file.path":"Plik: {path}","settings.localEnvironments.file.readError":"Nie udało się załadować danych środowiska lokalnego. ({error})","settings.localEnvironments.file.title":"Plik środowiska lokalnego","settings.localEnvironments.loading.body":"Pobieranie konfiguracji projektu.","settings.localEnvironments.loading.title":"Ładowanie środowisk lokalnych","settings.localEnvironments.preview.devOnly":"(tylko dla PROGRAMISTÓW)","settings.localEnvironments.preview.save":"Zapisz","settings.localEnvironments.preview.saveError":"Nie udało się zapisać pliku. ({error})","settings.localEnvironments.preview.title":"Podgląd","settings.localEnvironments.save.disabled.name":"Dodaj nazwę środowiska, którą chcesz zapisać.","settings.localEnvironments.save.disabled.noChanges":"Brak zmian do zapisania.","settings.localEnvironments.save.disabled.saving":"Zapisywanie…","settings.localEnvironments.save.success":"Zapisano środowisko lokalne","settings.localEnvironments.unavailable.body":"Nie udało się załadować ustawień środowiska lokalnego dla tego projektu.","settings.localEnvironments.unavailable.title":"Środowiska lokalne niedostępne","settings.localEnvironments.workspace.add":"Dodaj projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Dodaj środowisko","settings.localEnvironments.workspaceSelect.description":"Na podstawie środowisk lokalnych agent Codex konfiguruje drzewa robocze dla projektu. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Nie ma jeszcze projektów. Dodaj projekt, aby skonfigurować środowiska lokalne.","settings.localEnvironments.workspaceSelect.errorLabel":"Środowisko wymaga działania","settings.localEnvironments.workspaceSelect.learnMore":"Więcej informacji","settings.localEnvironments.workspaceSelect.listLabel":"Dostępne projekty","settings.localEnvironments.workspaceSelect.loading":"Ładowanie projektów.","settings.localEnvironments.workspaceSelect.loadingLabel":"Ładowanie środowiska","settings.localEnvironments.workspaceSelect.title":"Wybierz projekt","settings.localEnvironments.workspaceSelect.viewAction":"Wyświetl","settings.mcp.addServer":"Dodaj serwer","settings.mcp.app.configure":"Skonfiguruj","settings.mcp.app.connect":"Połącz","settings.mcp.apps.refresh":"Odśwież","settings.mcp.detail.addArgument":"Dodaj argument","settings.mcp.detail.addEnvVar":"Dodaj zmienną środowiskową","settings.mcp.detail.addEnvVarPassthrough":"Dodaj zmienną","settings.mcp.detail.args":"Argumenty","settings.mcp.detail.back":"Wstecz","settings.mcp.detail.command":"Polecenie do uruchomienia","settings.mcp.detail.cwd":"Katalog roboczy","settings.mcp.detail.docs":"Otwórz dokumentację MCP","settings.mcp.detail.docs.link":"Dokumenty","settings.mcp.detail.envVarPassthrough":"Klucz dostępu zmiennej środowiskowej","settings.mcp.detail.envVars":"Zmienne środowiska","settings.mcp.detail.http.addEnvHeader":"Dodaj zmienną","settings.mcp.detail.http.addHeader":"Dodaj nagłówek","settings.mcp.detail.http.bearerToken":"Zmienna środowiskowa: token okaziciela","settings.mcp.detail.http.envHeaders":"Nagłówki ze zmiennych środowiskowych","settings.mcp.detail.http.headers":"Nagłówki","settings.mcp.detail.http.url":"Adres URL","settings.mcp.detail.name":"Nazwa","settings.mcp.detail.save":"Zapisz","settings.mcp.detail.switchTransportNotice":"Jeśli chcesz przełączyć typ serwera MCP, najpierw go odinstaluj.","settings.mcp.detail.titleExisting":"Zaktualizuj MCP {name}","settings.mcp.detail.titleNew":"Połącz z niestandardowym MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Odinstaluj","settings.mcp.empty":"Nie podłączono niestandardowych serwerów MCP","settings.mcp.myServers":"Serwery niestandardowe","settings.mcp.partnerServer.description.figma":"Generuj lepszy kod, wprowadzając pełny kontekst Figma","settings.mcp.partnerServer.description.github":"Skonfiguruj integrację z API GitHub, aby automatyzować procesy i wyodrębniać dane","settings.mcp.partnerServer.description.linear":"Zintegruj z mechanizmami śledzenia problemów i zarządzania projektami w Linear","settings.mcp.partnerServer.description.notion":"Czytaj dokumenty, aktualizuj strony, zarządzaj zadaniami","settings.mcp.partnerServer.description.playwright":"Zintegruj automatyzację przeglądarki, aby zaimplementować projekt i przetestować interfejs użytkownika.","settings.mcp.partnerServer.install":"Zainstaluj","settings.mcp.partnerServer.installAndAuthenticate":"Zainstaluj i uwierzytelnij","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Zarządzaj","settings.mcp.partnerServer.vendor":"Autor: {vendor}","settings.mcp.recommendedServers":"Zalecane serwery","settings.mcp.restartApp":"Uruchom ponownie","settings.mcp.restartExtension":"Zacznij przedłużanie od nowa","settings.mcp.server.enable":"Włącz","settings.mcp.server.login":"Uwierzytelnij","settings.mcp.server.settings":"Ustawienia","settings.multiselect.createOption":"Utwórz „{value}”","settings.multiselect.removeOption":"Usuń","settings.nav.account":"Konto","settings.nav.agent":"Konfiguracja","settings.nav.ariaLabel":"Ustawienia","settings.nav.back":"Powrót do aplikacji","settings.nav.data-controls":"Zarchiwizowane wątki","settings.nav.environments":"Środowiska chmurowe","settings.nav.externalTooltip":"[alfa] Otwierane w przeglądarce","settings.nav.general-settings":"Ogólne","settings.nav.git-settings":"Git","settings.nav.local-environments":"Środowiska","settings.nav.mcp-settings":"Serwery MCP","settings.nav.notImplemented":"[alfa] Funkcja niedostępne w wersji alfa","settings.nav.personalization":"Personalizacja","settings.nav.skills-settings":"Umiejętności","settings.nav.usage-analytics":"Użycie i analityka","settings.nav.worktrees":"Drzewa robocze","settings.openSourceLicenses.back":"Wstecz","settings.openSourceLicenses.loading":"Ładowanie…","settings.openSourceLicenses.missing":"Nie znaleziono informacji od innych firm.","settings.openSourceLicenses.notSupported":"Jeszcze niedostępne na tym hoście.","settings.openSourceLicenses.rowDescription":"Informacje innych firm dotyczące dołączonych zależności","settings.openSourceLicenses.rowLabel":"Licencje typu open source","settings.openSourceLicenses.subtitle":"Informacje innych firm dla zależności w tej aplikacji","settings.openSourceLicenses.title":"Licencje typu open source","settings.openSourceLicenses.view":"Wyświetl","settings.personalization.agents.description":"Edytuj instrukcje, aby dostosować Codex do siebie. {learnMore}","settings.personalization.agents.learnMore":"Więcej informacji","settings.personalization.agents.loadError":"Nie można załadować pliku agents.md.","settings.personalization.agents.loading":"Ładowanie pliku agents.md…","settings.personalization.agents.placeholder":"Dodaj instrukcje niestandardowe...","settings.personalization.agents.retry":"Ponów próbę","settings.personalization.agents.save":"Zapisz","settings.personalization.agents.save.error":"Nie można zapisać pliku agents.md","settings.personalization.agents.save.success":"Zapisano plik agents.md","settings.personalization.agents.title":"Instrukcje niestandardowe","settings.personalization.personality.description":"Wybierz domyślny ton dla odpowiedzi agenta Codex","settings.personalization.personality.label":"Osobowość","settings.sample.contentBody":"Użyj tego układu, aby przygotować własne panele ustawień z jednolitymi odstępami.","settings.sample.contentTitle":"Przykładowy blok treści","settings.section.account":"Konto","settings.section.agent":"Konfiguracja","settings.section.data-controls":"Zarchiwizowane wątki","settings.section.environments":"Środowiska chmurowe","settings.section.external":"Otwiera się w przeglądarce w wersji Alpha","settings.section.general-settings":"Ogólne","settings.section.git-settings":"Git","settings.section.local-environments":"Środowiska","settings.section.mcp-settings":"Serwery MCP","settings.section.mcp-settings.docs":"Dokumenty","settings.section.mcp-settings.subtitle":"Podłącz zewnętrzne narzędzia i źródła danych.","settings.section.personalization":"Personalizacja","settings.section.skills-settings":"Umiejętności","settings.section.unavailable":"Jeszcze niedostępne w wersji Alpha","settings.section.usage-analytics":"Użycie i analityka","settings.section.worktrees":"Drzewa robocze","settings.threadDetail.description":"Wybierz, jaka część wyników z poleceń ma być widoczna w wątkach","settings.threadDetail.label":"Szczegóły na temat wątku","settings.worktrees.conversation.untitled":"Konwersacja bez tytułu","settings.worktrees.delete.error":"Nie udało się usunąć drzewa roboczego","settings.worktrees.empty.body":"Tutaj będą się pojawiały drzewa robocze tworzone przez Codex.","settings.worktrees.empty.title":"Nie ma jeszcze drzew roboczych","settings.worktrees.error.body":"Coś poszło nie tak podczas ładowania drzew roboczych.","settings.worktrees.error.retry":"Ponów próbę","settings.worktrees.error.title":"Nie można załadować drzew roboczych","settings.worktrees.loading.body":"Szczegóły pobierania drzew roboczych.","settings.worktrees.loading.title":"Ładowanie drzew roboczych","settings.worktrees.repository.loading":"Ładowanie metadanych repozytorium...","settings.worktrees.repository.unknown":"Nieznane repozytorium","settings.worktrees.row.conversations":"Konwersacje","settings.worktrees.row.conversations.empty":"Brak konwersacji powiązanych z tym drzewem roboczym.","settings.worktrees.row.conversations.loading":"Ładowanie konwersacji…","settings.worktrees.row.delete":"Usuń","settings.worktrees.row.title":"Drzewo robocze","sidebarElectron.addWorkspaceRoot":"Dodaj nowy projekt","sidebarElectron.archiveThread":"Archiwizuj wątek","sidebarElectron.archiveThreadError":"Nie udało się zarchiwizować wątku","sidebarElectron.collapseFolder":"Zwiń folder","sidebarElectron.createStableWorktree.dialog.cancel":"Anuluj","sidebarElectron.createStableWorktree.dialog.create":"Utwórz","sidebarElectron.debugNavLink":"Debugowanie","sidebarElectron.editWorkspaceRootOptionName":"Edytuj nazwę","sidebarElectron.expandFolder":"Rozwiń folder","sidebarElectron.groupByMenu.recency":"Lista chronologiczna","sidebarElectron.groupByMenu.title":"Organizuj","sidebarElectron.groupByMenu.workspace":"Według projektu","sidebarElectron.inboxRouteNavLink":"Automatyzacje","sidebarElectron.markThreadUnread":"Oznacz jako nieprzeczytany","sidebarElectron.missingWorkspaceRoot":"Ten folder projektu został usunięty lub przeniesiony","sidebarElectron.newThread":"Nowy wątek","sidebarElectron.newThreadInGroup":"Rozpocznij nowy wątek w {folder}","sidebarElectron.noRecentThreads":"Brak ostatnich wątków","sidebarElectron.noTasks":"Brak wątków","sidebarElectron.noTasks.start":"Dodaj nowy projekt","sidebarElectron.noTasksWithFilter":"Brak wątków pasujących do filtrów","sidebarElectron.pinnedThreads":"Przypięte wątki","sidebarElectron.recentNavLink":"Wątki","sidebarElectron.recentThreads":"Ostatnie wątki","sidebarElectron.removeWorkspaceRootOption":"Usuń","sidebarElectron.renameThread":"Zmień nazwę wątku","sidebarElectron.renameThreadDialogAriaLabel":"Tytuł wątku","sidebarElectron.renameThreadDialogCancel":"Anuluj","sidebarElectron.renameThreadDialogPlaceholder":"Dodaj tytuł...","sidebarElectron.renameThreadDialogSave":"Zapisz","sidebarElectron.renameThreadDialogSubtitle":"Powinien być krótki i charakterystyczny.","sidebarElectron.renameThreadDialogTitle":"Zmień nazwę wątku","sidebarElectron.renameThreadError":"Nie udało się zmienić nazwy wątku","sidebarElectron.renameWorkspaceRootOptionLabel":"Wyświetlana nazwa","sidebarElectron.showLess":"Pokaż mniej","sidebarElectron.showMenu.all":"Wszystkie wątki","sidebarElectron.showMenu.relevant":"Istotne","sidebarElectron.showMenu.relevantHint":"Wyświetlaj tylko ostatnie wątki dla bieżącej gałęzi, drzew roboczych lub innych wątków, które wymagają Twojej uwagi","sidebarElectron.showMenu.title":"Pokaż","sidebarElectron.showMenu.tooltip":"Filtrowanie, sortowanie i organizowanie wątków","sidebarElectron.showMenu.trigger":"Filtruj wątki na pasku bocznym","sidebarElectron.showMore":"Pokaż więcej","sidebarElectron.skillsRouteNavLink":"Umiejętności","sidebarElectron.sortMenu.created":"Utworzono","sidebarElectron.sortMenu.title":"Sortuj wg","sidebarElectron.sortMenu.updated":"Zaktualizowano","sidebarElectron.taskNavigation":"Foldery automatyzacji","sidebarElectron.tasksInFolder":"Automatyzacje w folderze {folder}","sidebarElectron.workspaceOptions":"Działania projektu dot.: {folder}","sidebarElectron.worktreeGroupTooltip":"To jest drzewo robocze gita","skills.appsPage.createSkill":"Nowa umiejętność","skills.appsPage.empty.skills":"Nie znaleziono umiejętności","skills.appsPage.search.skills":"Szukaj umiejętności","skills.appsPage.search.skills.label":"Szukaj umiejętności","skills.appsPage.section.installedApps":"Zainstalowano","skills.appsPage.section.skills":"Umiejętności","skills.appsPage.subheading":"Daj Codex supermoce. <link>Więcej informacji</link>","skills.appsPage.tab.recommended":"Zalecane","skills.appsPage.tab.skills":"Umiejętności","skills.card.contentsError":"Nie można załadować treści umiejętności.","skills.card.disable":"Wyłącz","skills.card.disableSuccess":"Umiejętność {skillName} została wyłączona","skills.card.disabledBadge":"Wyłączone","skills.card.enable":"Włącz","skills.card.enableSuccess":"Umiejętność {skillName} została włączona","skills.card.loadingContents":"Ładowanie treści umiejętności...","skills.card.more":"Więcej działań","skills.card.open":"Otwórz","skills.card.removeFailed":"Nie udało się odinstalować umiejętności","skills.card.removeSuccess":"Umiejętność {skillName} została odinstalowana","skills.card.toggleEnabledError":"Nie udało się zaktualizować umiejętności","skills.card.try":"Wypróbuj","skills.card.trySkill":"Wypróbuj umiejętność","skills.card.uninstall":"Odinstaluj","skills.hero.dotLabel":"Przejdź do slajdu {index}","skills.hero.next":"Następna proponowana umiejętność","skills.hero.trySkill":"Wypróbuj umiejętność","skills.page.createSkill":"Nowa umiejętność","skills.page.empty":"Nie znaleziono umiejętności","skills.page.filteredEmpty":"Brak umiejętności pasujących do filtrów","skills.page.filteredEmptyDescription":"Spróbuj zmienić filtry wyszukiwania lub zakresu","skills.page.heading":"Umiejętności","skills.page.loading":"Ładowanie umiejętności...","skills.page.refreshSkills":"Odśwież","skills.page.refreshSkillsToUseNew":"Odśwież, aby zacząć używać nowych umiejętności","skills.page.search":"Szukaj umiejętności","skills.page.search.label":"Szukaj umiejętności","skills.page.subheading":"Daj Codex supermoce. <link>Więcej informacji</link>","skills.preview.copyPrompt":"Skopiuj polecenie","skills.preview.examplePrompt":"Przykładowe polecenie","skills.recommended.error":"Nie można załadować zalecanych umiejętności","skills.recommended.install":"Zainstaluj","skills.recommended.installSkill":"Zainstaluj umiejętność","skills.recommended.installSuccess":"Umiejętność {skillName} została zainstalowana","skills.recommended.installed":"Zainstalowano","skills.scope.admin":"Administrator","skills.scope.adminInstalled":"Zainstalowane przez administratora","skills.scope.builtIn":"Systemowy","skills.scope.personal":"Osobiste","skills.scope.repo":"Repozytorium","skills.scope.system":"Systemowy","skills.scope.team":"Team","skills.scope.user":"Użytkownik","skills.section.installed":"Zainstalowano","skills.section.recommended":"Zalecane","story.slidingToggle.existing":"Istniejąca","story.slidingToggle.fromLocal":"Z lokalnego repozytorium","story.slidingToggle.new":"Nowość","story.slidingToggle.toLocal":"Do lokalnego repozytorium","terminal.close":"Zamknij terminal","terminal.title":"Terminal","thinkingShimmer.default":"Myśli","threadEnvIcon.cloudTooltip":"Ta konwersacja działa w lokalnej chmurze Codex.","threadEnvIcon.localTooltip":"Ta konwersacja działa lokalnie.","threadEnvIcon.worktreeTooltip":"Ta konwersacja działa w lokalnym drzewie roboczym gita.","threadHeader.archiveConfirmCancel":"Anuluj","threadHeader.archiveConfirmConfirm":"Archiwizuj","threadHeader.archiveConfirmSubtitle":"Możesz znaleźć go później w zarchiwizowanych wątkach.","threadHeader.archiveConfirmTitle":"Czy zarchiwizować wątek?","threadHeader.copyAppLink":"Kopiuj głęboki link","threadHeader.copySessionId":"Kopiuj identyfikator sesji","threadHeader.copyWorkingDirectory":"Kopiuj katalog roboczy","threadHeader.forkIntoLocal":"Rozwidl w lokalny","threadHeader.forkIntoWorktree":"Rozwidl w nowe drzewo robocze","threadHeader.forkPendingWorktreePrompt":"Rozwidl tę konwersację w nowe drzewo robocze.","threadHeader.forkPendingWorktreeTitle":"Rozwidlona konwersacja","threadHeader.forkThreadError":"Nie udało się rozwidlić wątku","threadHeader.forkThreadRequiresGitRepo":"Rozwidlenie w nowe drzewo robocze wymaga repozytorium git","threadHeader.moreActions":"Działania dotyczące wątku","threadPage.newThread":"Nowy wątek","threadPage.runAction.changeEnvironment":"Zmień środowisko","threadPage.runAction.dropdown.titleWithEnvironment":"Działania dla środowiska {environmentName}","threadPage.runAction.environmentSelector.label":"Wybierz środowisko","threadPage.runAction.label":"Uruchom","threadPage.runAction.missing.label":"Skonfiguruj działanie uruchomienia","threadPage.runAction.setup.commandLabel":"Polecenie do uruchomienia","threadPage.runAction.setup.description":"Powiedz, jak Codex ma instalować zależności i uruchamiać aplikację.","threadPage.runAction.setup.editMore":"Ustawienia środowiska","threadPage.runAction.setup.placeholder":"np: npm install npm run","threadPage.runAction.setup.submit":"Zapisz i uruchom","threadPage.runAction.setup.title":"Uruchom","threadPage.runAction.tooltip.withEnvironment":"Działania dla środowiska {environmentName}","threadPage.toggleDiffPanel":"Przełącz panel diffa","threadPage.toggleTerminal":"Przełącz terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Otwórz folder","toolSummaryForCmd.exploredFiles":"<verb>Wymieniono</verb> pliki","toolSummaryForCmd.exploredFilesInPath":"<verb>Wymieniono</verb> pliki w {path}","toolSummaryForCmd.exploringFiles":"<verb>Wymienianie</verb> plików","toolSummaryForCmd.exploringFilesInPath":"<verb>Wymienianie</verb> plików w {path}","toolSummaryForCmd.ranGenericCommand":"<status>Komenda została wykonana</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Wykonana komenda</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Przeczytaj</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Wykonywanie komendy</status>{timer}","toolSummaryForCmd.runningTimer":"dla {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Wyszukiwano</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Wyszukiwano</verb> pliki","toolSummaryForCmd.searchedForInPath":"<verb>Wyszukiwano </verb> {query} w {path}","toolSummaryForCmd.searchingFor":"<verb>Wyszukiwanie</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Wyszukiwanie</verb> plików","toolSummaryForCmd.searchingForInPath":"<verb>Wyszukiwanie</verb> {query} w {path}","traceRecording.details.noteLabel":"Jakie czynności były wykonywane, gdy to się stało? (opcjonalnie)","traceRecording.details.notePlaceholder":"Przejście do dużego wątku, a następnie wielokrotne przełączanie kart…","traceRecording.details.submit":"Wyślij ślad","traceRecording.details.subtitle":"Możemy wysłać ten ślad profilu, aby pomóc w diagnozowaniu problemów związanych z działaniem.","traceRecording.details.title":"Czy wysłać ślad profilu?","traceRecording.progress.subtitle":"Nie zamykaj Codex do chwili ukończenia tego działania.","traceRecording.saving.title":"Zapisywanie śladu...","traceRecording.startDetails.cancel":"Anuluj","traceRecording.startDetails.submit":"OK, zacznij rejestrować","traceRecording.startDetails.subtitle":"Po kliknięciu przycisku OK odtwórz problem z działaniem, a następnie kliknij przestawny czerwony wskaźnik, aby zatrzymać rejestrowanie i przejrzeć ślad.","traceRecording.startDetails.title":"Jak działa rejestrowanie śladu","traceRecording.stopButton.ariaLabel":"Zatrzymaj rejestrowanie śladu","traceRecording.upload.successToast":"Ślad profilu został wysłany.","traceRecording.uploading.title":"Przesyłanie śladu…","wham.diff.addComment":"Dodaj komentarz","wham.diff.binaryFile":"Nie pokazano pliku binarnego","wham.diff.noContent":"Brak treści","wham.fileTag.deleted":"Usunięto","wham.fileTag.new":"Nowość","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d.","wham.formattedRelativeDateTime.compactHoursAgo":"{value} godz.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mies.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} tyg.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} lat(a)","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Pracuję nad Twoim zadaniem","wham.whamProposedTask.title":"Sugerowane zadanie","wham.whamProposedTask.useSuggestion":"Użyj sugestii","workspaceRootDialog.addError":"Nie udało się dodać projektu","workspaceRootDialog.cancel":"Anuluj","workspaceRootDialog.confirmAdd":"Dodaj projekt","workspaceRootDialog.confirmPick":"Użyj projektu","workspaceRootDialog.description":"Wprowadź ścieżkę w {host} do użycia w charakterze projektu.","workspaceRootDialog.pathLabel":"Ścieżka do projektu","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Dodaj ścieżkę do projektu","workspaceRootDialog.title.pick":"Wybierz ścieżkę do projektu","worktreeInitV2.cancel":"Anuluj","worktreeInitV2.notification.failedTitle":"Nie udało się skonfigurować drzewa roboczego","worktreeInitV2.output.empty":"Oczekiwanie na dane wyjściowe...","worktreeInitV2.status.error":"Konfiguracja drzewa roboczego nie powiodła się.","worktreeInitV2.status.running":"Tworzenie drzewa roboczego i uruchamianie konfiguracji.","worktreeInitV2.status.runningFork":"Tworzenie drzewa roboczego w celu rozwidlenia tej konwersacji.","worktreeInitV2.status.success":"Drzewo robocze jest gotowe.","worktreeInitV2.title":"Tworzenie drzewa roboczego","worktreeInitV2.workLocallyInstead":"Zamiast tego pracuj lokalnie","worktreeRestoreBanner.body":"Drzewo robocze tego wątku zostało usunięte w celu zwolnienia miejsca na dysku","worktreeRestoreBanner.missing.body":"Katalog roboczy tego wątku już nie istnieje","worktreeRestoreBanner.missing.title":"Brak bieżącego katalogu roboczego","worktreeRestoreBanner.restore.error":"Nie udało się przywrócić drzewa roboczego: {message}","worktreeRestoreBanner.restore.success":"Drzewo robocze zostało przywrócone","worktreeRestoreBanner.restoreCta":"Przywróć drzewo robocze","worktreeRestoreBanner.title":"Drzewo robocze zostało oczyszczone"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopiuj","app.sidebar.hide":"Ukryj pasek boczny","app.sidebar.show":"Pokaż pasek boczny","app.sidebar.tooltip":"Przełącz pasek boczny","appHeader.installUpdate":"Zaktualizuj","appSunset.body":"Ta wersja aplikacji nie jest już obsługiwana. Pobierz najnowszą wersję <here>tutaj</here>.","appSunset.title":"Wymagana aktualizacja","automation.updateDirective.create":"Utwórz","automation.updateDirective.open":"Otwórz","automation.updateDirective.untitled":"Automatyzacja bez tytułu","automation.updateDirective.update":"Zaktualizuj","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# próba} few {# próby} many {# prób} other {# próby}}","cloudTaskRow.archiveError":"Nie udało się zarchiwizować zadania","code.diff.requestChange":"Zmiana żądania","code.diffComment.cancel":"Anuluj","code.diffComment.comment":"Skomentuj","code.diffComment.delete":"Usuń","code.diffComment.save":"Zapisz","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nie zgłoszono żadnych wyników.","codex.alert.closeAriaLabel":"Zamknij","codex.appUpsellBanner.cbpApi.message":"Twórz rozwiązania szybciej przy użyciu aplikacji Codex. Pobierz teraz lub {learnMoreLink}.","codex.appUpsellBanner.download":"Pobierz","codex.appUpsellBanner.freeGo.message":"Codex będzie dostępny w Twoim planie do 2 marca. Wypróbuj aplikację Codex, aby tworzyć rozwiązania szybciej.","codex.appUpsellBanner.later":"Później","codex.appUpsellBanner.learnMoreLowercase":"Więcej informacji","codex.appUpsellBanner.new":"Nowość","codex.appUpsellBanner.proPlusBusiness.message":"Wypróbuj aplikację Codex z podwójnymi limitami zapytań do 2 kwietnia. Pobierz już teraz lub {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikacja Codex","codex.applyDropdown.header.changes":"Zmiany","codex.applyDropdown.header.fileCount":"{count, plural, one {# plik} few {# pliku} many {# pliku} other {# pliku}}","codex.applyDropdown.header.rows":"wiersze","codex.applyDropdown.header.title":"Zastosuj zmiany","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {Konflikt 1 pliku:} few {Konflikt {count} plików:} many {Konflikt {count} plików:} other {Konflikt {count} pliku:}}","codex.applyDropdown.results.empty":"Nie skopiowano plików","codex.applyDropdown.results.skipped":"{count, plural, one {Pominięto 1 plik:} few {Pominięto {count} pliki:} many {Pominięto {count} plików:} other {Pominięto {count} pliku:}}","codex.applyOrRevertBanner.apply":"Zastosuj","codex.applyOrRevertBanner.applyMessage":"Zastosować zmiany i kontynuować lokalnie?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Zadanie zostało wykonane w {environment}, więc możliwe są problemy przy stosowaniu.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Zmiany wprowadzono w {environment}, więc możliwe są problemy przy stosowaniu.","codex.applyOrRevertBanner.reapply":"Zastosuj ponownie","codex.applyOrRevertBanner.revert":"Wycofaj","codex.applyOrRevertBanner.revertMessage":"Wycofać zastosowane zmiany?","codex.applyResultsDialog.applied":"Zastosowano bez problemów ({count})","codex.applyResultsDialog.close":"Zamknij","codex.applyResultsDialog.conflicted":"Konflikty ({count})","codex.applyResultsDialog.noDetails":"Brak szczegółowych danych pliku.","codex.applyResultsDialog.skipped":"Pominięto ({count})","codex.applyResultsDialog.title":"Zastosuj wyniki","codex.archiveInfo":"Wyświetl zarchiwizowane czaty w {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrola danych","codex.archiveInfo.electron":"Wyświetl zarchiwizowane czaty w {settingsLink}.","codex.archiveInfo.extension":"Zobacz zarchiwizowane czaty w folderze .codex.","codex.archiveInfo.settingsLink":"Ustawienia","codex.banner.content.description":"Uruchamiaj zadania równolegle, śledź postęp z dowolnego miejsca i weryfikuj PR z pomocą AI.","codex.banner.content.headline":"Codex potrafi to wszystko.","codex.cloudTaskRow.archiveTask":"Archiwizuj zadanie","codex.cloudTaskRow.confirmArchiveTask":"Potwierdź","codex.command.feedback":"Opinia","codex.command.findInThread":"Znajdź","codex.command.forceReloadSkills":"Wymuś ponowne załadowanie umiejętności","codex.command.logOut":"Wyloguj się","codex.command.manageTasks":"Zarządzaj zadaniami","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Wstecz","codex.command.navigateForward":"Dalej","codex.command.newThread":"Nowy wątek","codex.command.nextThread":"Następny wątek","codex.command.openFolder":"Otwórz folder","codex.command.openSkills":"Przejdź do umiejętności","codex.command.openThreadOverlay":"Otwórz wątek w wyskakującym oknie","codex.command.personalitySettings":"Osobowość","codex.command.previousThread":"Poprzedni wątek","codex.command.settings":"Ustawienia","codex.command.toggleDiffPanel":"Przełącz panel diff","codex.command.toggleSidebar":"Przełącz pasek boczny","codex.command.toggleTerminal":"Przełącz terminal","codex.commandGroup.app":"Aplikacja","codex.commandGroup.configure":"Skonfiguruj","codex.commandGroup.navigation":"Nawigacja","codex.commandGroup.panels":"Panele","codex.commandGroup.skills":"Umiejętności","codex.commandGroup.thread":"Wątek","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Brak wyników","codex.commandMenu.searchPlaceholder":"Polecenia wyszukiwania","codex.commandMenu.suggestedGroup":"Sugerowane osoby","codex.commandMenu.switchWorkspace":"Przełącz projekt","codex.commandMenu.title":"Menu poleceń","codex.common.retry":"Ponów próbę","codex.composer.searchBranches":"Przeszukaj gałęzie","codex.dialog.basic.body":"To jest proste okno modalne korzystające z naszego wrappera do okna Radix.","codex.dialog.basic.cancel":"Anuluj","codex.dialog.basic.confirm":"Potwierdź","codex.dialog.basic.open":"Otwórz okno dialogowe","codex.dialog.basic.title":"Przykładowe okno dialogowe","codex.dialog.long.close":"Zamknij","codex.dialog.long.line":"Przewijana linia {index} ilustrująca obszerną treść wewnątrz okna dialogowego.","codex.dialog.long.open":"Otwórz okno dialogowe z długim tekstem","codex.dialog.long.title":"Okno dialogowe z długim tekstem","codex.dialog.unstyled.body":"Ta historia przedstawia, w jaki sposób elementy wywołujące mogą w pełni kontrolować styl treści okna dialogowego.","codex.dialog.unstyled.open":"Otwórz okno dialogowe bez stylu","codex.dialog.unstyled.title":"Treść bez stylu","codex.diff.openInEditorPrompt.openButton":"Otwórz w edytorze","codex.diff.openInEditorPrompt.singleLine":"Ten plik jest zbyt duży do wyświetlenia w tym miejscu.","codex.diffView.failedToDecodeBase64Diff":"Nie udało się zdekodować diff base64","codex.diffView.filesChanged":"{fileCount, plural, one {Zmieniono # plik} few {Zmieniono # pliki} many {Zmieniono # plików} other {Zmieniono # pliku}}","codex.diffView.imagePreviewAlt":"Podgląd obrazu","codex.diffView.imagePreviewEmpty":"Brak obrazu","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Brak danych diff","codex.diffView.pdfPreview.nextPage":"Następna strona","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Poprzednia strona","codex.diffView.pdfPreviewEmpty":"Brak podglądu pliku PDF","codex.diffView.pdfPreviewError":"Nie udało się wyświetlić podglądu pliku PDF","codex.diffView.richPreviewDisable":"Wyłącz podgląd z formatowaniem","codex.diffView.richPreviewEnable":"Włącz podgląd z formatowaniem","codex.diffView.richPreviewLoading":"Ładowanie podglądu…","codex.diffView.richPreviewToggle":"Przełącz podgląd z formatowaniem","codex.diffView.switchToUnified":"Przełącz na diff ujednolicony","codex.environmentSelector.noEnvironment":"Brak środowiska","codex.environments.environmentSettings":"Ustawienia środowiska","codex.environments.learnMore":"Dowiedz się więcej","codex.environments.listError":"Nie udało się załadować środowisk.","codex.environments.noEnvironmentsFound":"Nie znaleziono żadnych środowisk","codex.environments.searchError":"Nie udało się wyszukać środowisk.","codex.errorBoundary.genericError":"Wystąpił błąd","codex.errorBoundary.goHome":"Spróbuj ponownie","codex.file.patch.missing":"Nie można skompilować poprawki dla tego pliku.","codex.gallery.automations.cwdLabel":"Projekty","codex.gallery.automations.nameLabel":"Nazwa","codex.gallery.automations.namePlaceholder":"Podsumuj zadanie","codex.gallery.automations.promptLabel":"Polecenie","codex.gallery.automations.promptPlaceholder":"Opisz, co powinien zrobić agent Codex","codex.gallery.dialogs.automation.label":"Okno dialogowe automatyzacji","codex.gallery.dialogs.basic.body":"Użyj tego układu w przypadku prostych potwierdzeń lub krótkich formularzy.","codex.gallery.dialogs.basic.cancel":"Anuluj","codex.gallery.dialogs.basic.confirm":"Potwierdź","codex.gallery.dialogs.basic.label":"Podstawowe okno dialogowe","codex.gallery.dialogs.basic.title":"Przykładowe okno dialogowe","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Opisz problem","codex.gallery.dialogs.feedbackSubmission.bad":"Nieprawidłowy wynik","codex.gallery.dialogs.feedbackSubmission.bug":"Błąd","codex.gallery.dialogs.feedbackSubmission.good":"Prawidłowy wynik","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Uwzględnij dzienniki bieżącej sesji Codex","codex.gallery.dialogs.feedbackSubmission.label":"Przesyłanie opinii","codex.gallery.dialogs.feedbackSubmission.other":"Inne","codex.gallery.dialogs.feedbackSubmission.placeholder":"Opisz problem","codex.gallery.dialogs.feedbackSubmission.submit":"Prześlij","codex.gallery.dialogs.feedbackSubmission.title":"Opinia","codex.gallery.dialogs.feedbackSuccess.body":"Przesłano opinię. Jeśli problem będzie się powtarzał, zgłoś problem w serwisie GitHub lub dodaj wzmiankę z identyfikatorem wątku w istniejącym otwartym zgłoszeniu problemu:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Odrzuć","codex.gallery.dialogs.feedbackSuccess.label":"Opinia została pomyślnie przesłana","codex.gallery.dialogs.feedbackSuccess.title":"Przesłano opinię","codex.gallery.dialogs.gitApplyResults.applied":"Zastosowano bez problemów (2)","codex.gallery.dialogs.gitApplyResults.close":"Zamknij","codex.gallery.dialogs.gitApplyResults.conflicted":"Konflikty: (1)","codex.gallery.dialogs.gitApplyResults.label":"Zastosuj wyniki","codex.gallery.dialogs.gitApplyResults.title":"Zastosuj wyniki","codex.gallery.dialogs.gitPushError.body":"Pobierz najnowsze zmiany lub wymuś wypchnięcie, jeśli wiesz, że można bezpiecznie nadpisać zdalną historię.","codex.gallery.dialogs.gitPushError.cancel":"Anuluj","codex.gallery.dialogs.gitPushError.force":"Wymuś wypchnięcie","codex.gallery.dialogs.gitPushError.label":"Błąd wypychania","codex.gallery.dialogs.gitPushError.subtitle":"Twoja gałąź jest starsza niż origin/main.","codex.gallery.dialogs.gitPushError.title":"Nie udało się wypchnąć zmian","codex.gallery.dialogs.gitRevert.cancel":"Anuluj","codex.gallery.dialogs.gitRevert.confirm":"Wycofaj","codex.gallery.dialogs.gitRevert.label":"Wycofaj zmiany","codex.gallery.dialogs.gitRevert.skip":"Nie pytaj ponownie","codex.gallery.dialogs.gitRevert.subtitle":"To działanie usunie wszystkie zmiany.","codex.gallery.dialogs.gitRevert.title":"Wycofać zmiany?","codex.gallery.dialogs.longForm.label":"Okno dialogowe z długim tekstem","codex.gallery.dialogs.proseModal.body":"Ten styl okna jest używany w przypadku dłuższych instrukcji, wprowadzenia i bloków ze sformatowaną treścią.","codex.gallery.dialogs.proseModal.close":"Zamknij","codex.gallery.dialogs.proseModal.subtitle":"W tym miejscu możesz umieścić obszerniejsze wytyczne lub dokumentację.","codex.gallery.dialogs.proseModal.title":"Okno modalne z dużą ilością treści","codex.gallery.dialogs.submitBlocked.label":"Przesyłanie jest zablokowane","codex.gallery.dialogs.submitBlocked.message":"Nie można wysłać wiadomości, ponieważ projekt jest niedostępny.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Nie można wysłać wiadomości","codex.gallery.dialogs.title":"Okna dialogowe","codex.gallery.dropdown.filterPlaceholder":"Filtruj elementy","codex.gallery.dropdowns.actionRow":"Wiersze działań","codex.gallery.dropdowns.actionRow.disabled":"Wyłączone działanie","codex.gallery.dropdowns.actionRow.primary":"Działanie główne","codex.gallery.dropdowns.actionRow.secondary":"Działanie dodatkowe","codex.gallery.dropdowns.actionRow.trigger":"Pokaż działania","codex.gallery.dropdowns.basic":"Podstawowe menu rozwijane","codex.gallery.dropdowns.basic.newFile":"Nowy plik","codex.gallery.dropdowns.basic.newFolder":"Nowy folder","codex.gallery.dropdowns.basic.openSettings":"Otwórz ustawienia","codex.gallery.dropdowns.basic.title":"Szybkie działania","codex.gallery.dropdowns.basic.trigger":"Otwórz menu","codex.gallery.dropdowns.basic.upload":"Prześlij","codex.gallery.dropdowns.panel":"Powierzchnia panelu","codex.gallery.dropdowns.panel.apply":"Zastosuj","codex.gallery.dropdowns.panel.body":"Przejrzyj diffy i zastosuj je do swojego projektu.","codex.gallery.dropdowns.panel.preview":"Podgląd","codex.gallery.dropdowns.panel.title":"Zastosuj zmiany","codex.gallery.dropdowns.panel.trigger":"Otwórz panel","codex.gallery.dropdowns.search":"Menu rozwijane z możliwością wyszukiwania","codex.gallery.dropdowns.search.first":"Kanał Alpha","codex.gallery.dropdowns.search.second":"Gałąź Beta","codex.gallery.dropdowns.search.third":"Kandydat do wydania","codex.gallery.dropdowns.search.trigger":"Filtruj elementy","codex.gallery.dropdowns.submenu":"Menu rozwijane z podmenu","codex.gallery.dropdowns.submenu.optionA":"Projekt Alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt Beta","codex.gallery.dropdowns.submenu.optionC":"Projekt Gamma","codex.gallery.dropdowns.submenu.primary":"Przypisz właściciela","codex.gallery.dropdowns.submenu.secondary":"Przenieś do","codex.gallery.dropdowns.submenu.tertiary":"Archiwizuj","codex.gallery.dropdowns.submenu.trigger":"Wybierz działanie","codex.gallery.dropdowns.title":"Menu rozwijane","codex.gallery.inbox.automations.close":"Zamknij","codex.gallery.inbox.automations.popover.cardTitle":"Zarządzaj automatyzacjami","codex.gallery.inbox.automations.popover.dialogTitle":"Zarządzaj automatyzacjami","codex.header.settingsTooltip":"Ustawienia","codex.hunk.patch.error":"Nie udało się wstawić do poczekalni","codex.hunk.patch.missing":"Nie można skompilować poprawki dla tego hunku.","codex.hunk.patch.partialSuccess":"Udało się częściowo","codex.hunk.patch.revertError":"Nie udało się wyjąć z poczekalni","codex.hunk.patch.revertSuccess":"Wyjęto z poczekalni","codex.hunk.patch.success":"Wstawiono do poczekalni","codex.legal.autonomy.details":"Więcej informacji zawiera {link}","codex.legal.autonomy.details.link":"dokumentacja Codex","codex.legal.autonomy.title":"Zdecyduj, ile autonomii chcesz przyznać","codex.legal.backButton":"Wstecz","codex.legal.cloud.taskOne.meta":"openai/agi · 12 paź.","codex.legal.cloud.taskOne.title":"Wyjaśnij repozytorium nowemu projektantowi","codex.legal.cloud.taskThree.meta":"openai/codex · 8 paź.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Stwórz motyw do trybu ciemnego","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 paź.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Napraw błąd we wdrożeniu","codex.legal.continue.apikey":"Kontynuuj","codex.legal.continueButton":"Dalej","codex.legal.copilot.details":"Korzysta z aktywnego planu Copilot do wszystkich wywołań modeli, rozliczeń i limitów. Korzystanie z rozszerzenia Codex podlega postanowieniom dokumentów {oaiTos} i {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Warunki świadczenia usług GitHub","codex.legal.copilot.oaiTosLink":"Warunki świadczenia usług OpenAI Codex","codex.legal.copilot.title":"Działa w oparciu o GitHub Copilot","codex.legal.mistakes.review":"Weryfikuj tworzony kod i uruchamiane polecenia","codex.legal.mistakes.title":"Codex może popełniać błędy","codex.legal.powered.details":"Korzysta z limitów w ramach aktywnego planu oraz z aktywnych {link}","codex.legal.powered.details.link":"preferencji dotyczących użycia danych do trenowania","codex.legal.powered.title":"Korzysta z Twojego konta ChatGPT","codex.legal.step.cloud.subtitle":"Wysyłaj zadania, by Codex wykonywał je w tle, dzięki czemu łatwiej się skoncentrujesz i usprawnisz pracę.","codex.legal.step.cloud.title":"Przekaż do agenta Codex w chmurze","codex.legal.step.intro.subtitle":"Codex przegląda, edytuje, uruchamia polecenia i wykonuje testy bezpośrednio w Twoim repozytorium. Korzysta z Twojego konta ChatGPT.","codex.legal.step.intro.title":"Codex w wybranym IDE","codex.legal.step.todo.subtitle":"Napisz komentarz ze słowem TODO i jednym kliknięciem zamień go w zadanie dla agenta Codex.","codex.legal.step.todo.title":"Zamieniaj komentarze TODO w zadania dla Codex","codex.legal.todo.heading":"// TODO: zaimplementuj schemat","codex.localConversation.closeImagePreview":"Zamknij podgląd obrazu","codex.localConversation.userImageAttachment":"Załącznik użytkownika","codex.localTaskRow.archiveTask":"Archiwizuj wątek","codex.localTaskRow.awaitingApproval":"Oczekiwanie na zatwierdzenie","codex.localTaskRow.awaitingResponse":"Oczekiwanie na odpowiedź","codex.localTaskRow.confirmArchiveTask":"Potwierdź","codex.loggedOut.apiKeyPrompt.cancel":"Anuluj","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Uzyskaj klucz API","codex.loggedOut.apiKeyPrompt.inputLabel":"Wprowadź swój klucz API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Zadania chmurowe są wyłączone przy korzystaniu z klucza API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Zadania chmurowe są wyłączone przy korzystaniu z Copilot i klucza API","codex.loggedOut.signIn":"Zaloguj się przez ChatGPT","codex.loggedOut.signIn.cancel":"Anuluj rejestrację","codex.loggedOut.signInWithCopilot":"Zaloguj się przez GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Użyj klucza API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Narzędzie {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Wywołano","codex.mcpTool.collapsedLabel.verb.calling":"Wywoływanie","codex.mcpTool.embeddedResource.contentLabel":"Treść","codex.mcpTool.embeddedResource.mimeTypeLabel":"Typ MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Narzędzie nie zwróciło żadnej treści","codex.mcpTool.rawPayloadHeading":"Nieprzetworzone {server}. Treść wywołania narzędzia {tool}","codex.menu.recent":"Niedawne","codex.menu.seeAllHistory":"Zobacz całą historię","codex.modelCapacityBanner.headline.noReset":"{modelName} ma już wyczerpany limit. Spróbuj ponownie później lub rozpocznij nową konwersację z innym modelem.","codex.modelCapacityBanner.headline.withReset":"{modelName} ma już wyczerpany limit. Spróbuj ponownie po {resetDate} lub rozpocznij nową konwersację z innym modelem.","codex.modelCapacityBanner.title":"Wybrany model ma już wyczerpany limit","codex.patch.change.contentsDeleted":"Usunięto treść","codex.patch.change.created":"Utworzono","codex.patch.change.created-file":"Utworzono plik","codex.patch.change.creating":"Tworzenie","codex.patch.change.deleted":"Usunięto","codex.patch.change.deleted-file":"Usunięto plik","codex.patch.change.deleting":"Usuwanie","codex.patch.change.edited":"Edytowano","codex.patch.change.edited-file":"Edytowano plik","codex.patch.change.editing":"Edytowanie","codex.patch.change.noChanges":"Brak zmian","codex.patch.change.rejected-add":"Odrzucono","codex.patch.change.rejected-delete":"Odrzucono","codex.patch.change.rejected-edit":"Odrzucono","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Zakończone zadania: {completed} z {total}","codex.plan.todoListCreated":"Lista zadań utworzona dla {total} zadań","codex.profileDropdown.apiKeyAuth":"Zalogowano przez klucz API","codex.profileDropdown.codexSettings":"Ustawienia Codex","codex.profileDropdown.copilotAuth":"Zalogowano przez Copilot","codex.profileDropdown.defaultAccountTitle":"Domyślne konto","codex.profileDropdown.enterBehavior":"{modifierSymbol} + klawisz enter w celu wysłania długich poleceń","codex.profileDropdown.enterBehaviorError":"Nie udało się zaktualizować ustawienia","codex.profileDropdown.getPlus":"Przejdź na plan z wyższymi limitami","codex.profileDropdown.keyboardShortcuts":"Skróty klawiaturowe","codex.profileDropdown.language":"Język","codex.profileDropdown.languageDefault":"Wykryj automatycznie","codex.profileDropdown.languageSearchPlaceholder":"Szukaj języków","codex.profileDropdown.languageUpdateError":"Nie udało się zaktualizować języka","codex.profileDropdown.logOut":"Wyloguj się","codex.profileDropdown.mcp":"Ustawienia MCP","codex.profileDropdown.openConfigToml":"Otwórz config.toml","codex.profileDropdown.openConfigToml.wsl":"Otwórz config.toml w środowisku WSL","codex.profileDropdown.openExtensionSettings":"Otwórz ustawienia","codex.profileDropdown.openMcpSettings":"Otwórz ustawienia MCP","codex.profileDropdown.openOnStartup":"Otwieraj przy uruchomieniu","codex.profileDropdown.openOnStartupError":"Nie udało się zaktualizować ustawienia","codex.profileDropdown.openSkillsSettings":"Otwórz obszar Ustawienia umiejętności","codex.profileDropdown.personalAccountTitle":"Konto osobiste","codex.profileDropdown.queueFollowUps":"Dodaj do kolejki kolejne działania","codex.profileDropdown.queueFollowUpsError":"Nie udało się zaktualizować ustawienia","codex.profileDropdown.readDocs":"Przeczytaj dokumentację","codex.profileDropdown.readSkillsDocs":"Przeczytaj dokumentację","codex.profileDropdown.runInWsl":"Uruchom w WSL","codex.profileDropdown.runInWslError":"Nie udało się zaktualizować ustawienia","codex.profileDropdown.runInWslTooltip":"Uruchamia Codex w WSL. Zalecane ze względu na wyższy poziom bezpieczeństwa piaskownicy i wyższą wydajność.","codex.profileDropdown.settings":"Ustawienia IDE","codex.profileDropdown.settingsPage":"Ustawienia","codex.profileDropdown.signInWithOpenAI":"Zaloguj się przez ChatGPT","codex.profileDropdown.skills":"Ustawienia umiejętności","codex.profileDropdown.switchToCopilotAccount":"Użyj konta Copilot","codex.profileDropdown.switchToOpenAIAccount":"Użyj konta OpenAI","codex.profileDropdown.todoCodelens":"Napraw komentarze TODO","codex.profileDropdown.todoCodelensError":"Nie udało się zaktualizować ustawienia","codex.profileDropdown.windowsDocumentation":"Dokumentacja Windows","codex.profileFooter.signedInFallback":"Ustawienia","codex.profileFooter.upgrade":"Rozszerz","codex.recentTasksMenu.clearSearch":"Wyczyść wyszukiwanie","codex.recentTasksMenu.cloud":"Zadania chmurowe","codex.recentTasksMenu.count":"{count, plural, =0 {Brak zadań w toku} one {# zadanie w toku} few {# zadania w toku} many {# zadań w toku} other {# zadania w toku}}","codex.recentTasksMenu.empty":"Nie ma jeszcze wątków","codex.recentTasksMenu.errorCloud":"Nie udało się załadować zadań.","codex.recentTasksMenu.errorCloud.inline":"Nie udało się załadować zadań chmurowych.","codex.recentTasksMenu.filterAll":"Wszystkie","codex.recentTasksMenu.filterCloudTasks":"Filtruj zadania chmurowe","codex.recentTasksMenu.filterTooltip":"Filtruj zadania według środowiska","codex.recentTasksMenu.local":"Zadania lokalne","codex.recentTasksMenu.recent":"Wszystkie zadania","codex.recentTasksMenu.search":"Szukaj ostatnich zadań","codex.recentTasksMenu.searchEmpty":"Brak wyników","codex.recentTasksMenu.tooltip":"Historia zadań","codex.recentTasksMenu.trigger":"Ostatnie zadania. {count, plural, one {# w toku} few {# w toku} many {# w toku} other {# w toku}}","codex.remoteConversation.applyDiff.applyCta":"Zastosuj zmiany","codex.remoteConversation.applyDiff.dropdownTitle":"Zastosuj zmiany w lokalnej gałęzi","codex.remoteConversation.applyDiff.revertCta":"Wycofaj zmiany","codex.remoteConversation.closeImagePreview":"Zamknij podgląd obrazu","codex.remoteConversation.codexCloudTask":"Wyświetlasz zadanie <u>Codex Cloud</u>","codex.remoteConversation.errorWithMessage":"Błąd: {message}","codex.remoteConversation.loadingImage":"Ładowanie obrazu","codex.remoteConversation.openInWeb":"Otwórz w przeglądarce","codex.remoteConversation.streaming":"Rozpoczynanie pracy","codex.remoteConversation.turnFailed":"Podczas tego zadania wystąpił błąd","codex.remoteConversation.turnTab.loading":"Próba {number}","codex.remoteConversation.turnTab.title":"Próba {number}","codex.remoteConversation.userImageAttachment":"Załącznik użytkownika","codex.remoteConversation.viewPreviousTurns":"Otwórz w przeglądarce","codex.remoteConversation.viewPreviousTurns.buttonText":"Otwórz","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Otwórz w przeglądarce","codex.review.copyGitApplyCommand":"Kopiuj polecenie git apply","codex.review.copyGitApplyCommand.toast":"Polecenie git apply zostało skopiowane do schowka","codex.review.diffTooLarge.description":"Ten diff jest zbyt duży do wyświetlenia w trybie Recenzja.","codex.review.diffTooLarge.title":"Diff jest zbyt duży do wyświetlenia","codex.review.expandOrCollapseDiffButton.collapse":"Zwiń wszystkie diffy","codex.review.expandOrCollapseDiffButton.expand":"Rozwiń wszystkie diffy","codex.review.expandOrCollapseDiffMenu.collapse":"Zwiń wszystkie diffy","codex.review.expandOrCollapseDiffMenu.expand":"Rozwiń wszystkie diffy","codex.review.fileSearch.clear":"Usuń filtr plików","codex.review.fileSearch.empty":"Żadne pliki nie pasują do bieżącego filtra.","codex.review.fileSearch.label":"Filtr plików","codex.review.fileSearch.placeholder":"Filtr plików...","codex.review.filesChanged":"{num, plural, =0 {Nie zmieniono żadnych plików} one {Zmieniono # plik} few {Zmieniono # pliki} many {Zmieniono # plików} other {Zmieniono # pliku}}","codex.review.find.loadMore":"Załaduj więcej dopasowań","codex.review.fullReview.hideFileTree":"Ukryj drzewo plików","codex.review.fullReview.showFileTree":"Pokaż drzewo plików","codex.review.header.moreOptions":"Opcje recenzji","codex.review.largeDiff.banner":"Wykryto duży diff — wyświetlanie jednego pliku na raz.","codex.review.loadFullFiles.disable":"Nie ładuj całych plików","codex.review.loadFullFiles.enable":"Ładuj całe pliki","codex.review.noDiff":"Tutaj będą wyświetlane zmiany w pliku","codex.review.noDiff.gitInit.createRepository":"Utwórz repozytorium git","codex.review.noDiff.gitInit.creating":"Tworzenie…","codex.review.noDiff.gitInit.error":"Niepowodzenie inicjalizacji Git: {message}","codex.review.noDiff.gitInit.success":"Repozytorium Git zostało utworzone","codex.review.noDiff.gitRepoRequired.description":"Śledź i cofaj zmiany w tym projekcie","codex.review.noDiff.gitRepoRequired.title":"Utwórz repozytorium Git","codex.review.noDiff.orNoLongerAvailable":"lub ostatnie diffy nie są już dostępne","codex.review.noDiff.reverted":"Ostatnia tura została wycofana","codex.review.noDiff.revertedOrCommitted":"Ostatnia tura została wycofana lub zatwierdzona","codex.review.refreshGitQueries":"Odśwież","codex.review.revert.file.error":"Nie udało się przywrócić {path}","codex.review.revert.file.partialSuccess":"Częściowo przywrócono {path}","codex.review.revert.file.success":"Przywrócono {path}","codex.review.revert.hunk.error":"Nie udało się wycofać hunka {hunkNumber} w {path}","codex.review.revert.hunk.partialSuccess":"Częściowo wycofano hunk {hunkNumber} w {path}","codex.review.revert.hunk.success":"Wycofano hunk {hunkNumber} w {path}","codex.review.revert.section.error":"Nie udało się przywrócić sekcji","codex.review.revert.section.partialSuccess":"Częściowo przywrócono sekcję","codex.review.revert.section.success":"Przywrócono sekcję","codex.review.revertDialog.cancel":"Anuluj","codex.review.revertDialog.confirm":"Potwierdź","codex.review.revertDialog.message":"To działanie usuwa wszystkie te zmiany.","codex.review.revertDialog.skip":"Nie pytaj ponownie","codex.review.revertDialog.title":"Wycofać zmiany?","codex.review.richPreview.disable":"Wyłącz podgląd z formatowaniem","codex.review.richPreview.enable":"Włącz podgląd z formatowaniem","codex.review.source.cloud":"Zmiany w chmurze","codex.review.source.local.all":"Wszystkie zmiany w gałęzi","codex.review.source.local.lastTurn":"Zmiany z ostatniej tury","codex.review.source.local.uncommitted":"Niezatwierdzone zmiany","codex.review.source.worktree":"Niezatwierdzone zmiany w drzewie roboczym","codex.review.stageFilter.empty.staged.description":"Zaakceptuj zmiany, aby je umieścić w poczekalni","codex.review.stageFilter.empty.staged.title":"Brak zmian w poczekalni","codex.review.stageFilter.empty.unstaged.description":"Tutaj będą wyświetlane zmiany w kodzie","codex.review.stageFilter.empty.unstaged.title":"Brak zmian spoza poczekalni","codex.review.stageFilter.staged":"W poczekalni","codex.review.stageFilter.staged.count":"W poczekalni · {count}","codex.review.stageFilter.unstaged":"Poza poczekalnią","codex.review.stageFilter.unstaged.count":"Poza poczekalnią · {count}","codex.review.switchToSplit":"Przełącz na diff podzielony","codex.review.switchToUnified":"Przełącz na diff ujednolicony","codex.review.toggleDiffView":"Przełącz widok diffa","codex.review.wordDiffs.disable":"Wyłącz diffy wyrazów","codex.review.wordDiffs.enable":"Włącz diffy wyrazów","codex.review.wrap.disable":"Wyłącz zawijanie wyrazów","codex.review.wrap.enable":"Włącz zawijanie wyrazów","codex.section.patch.missing":"Nie można skompilować poprawki dla tej sekcji.","codex.shell.collapse":"Zwiń powłokę","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Skopiowano zawartość powłoki","codex.shell.copy.copyTooltip":"Skopiuj zawartość powłoki","codex.shell.copyCommand":"Kopiuj polecenie","codex.shell.copyOutput":"Kopiuj wynik","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Rozwiń powłokę","codex.shell.name":"Powłoka","codex.shell.noOutput":"Brak danych wyjściowych","codex.signInFailed.message":"Nie udało się zalogować: {rawMessage}","codex.stories.toast.show":"Pokaż toast","codex.stories.tooltip.basic":"To jest etykieta narzędzia","codex.stories.tooltip.hoverMe":"Naprowadź wskaźnik","codex.stories.tooltip.largerOffset":"Ta etykieta narzędzia ma szerszy odstęp","codex.stories.tooltip.offsetButton":"Szerszy odstęp","codex.stories.tooltip.shortcutButton":"Ze skrótem","codex.stories.tooltip.withShortcut":"Przełącz terminal","codex.taskRow.title":"Nowy wątek","codex.taskRowLayout.confirm":"Potwierdź","codex.threadFindBar.chatFilter":"Wyszukaj czaty","codex.threadFindBar.close":"Zamknij wyszukiwanie","codex.threadFindBar.diffFilter":"Przeszukaj diffy","codex.threadFindBar.label":"Znajdź w wątku","codex.threadFindBar.nextResult":"Następny wynik","codex.threadFindBar.noResults":"0 wyników","codex.threadFindBar.placeholder":"Przeszukaj wątek...","codex.threadFindBar.placeholder.extension":"Przeszukaj wątek...","codex.threadFindBar.placeholder.review":"Przeszukaj diff...","codex.threadFindBar.placeholder.review.extension":"Przeszukaj diff...","codex.threadFindBar.previousResult":"Poprzedni wynik","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {Zmieniono # plik} few {Zmieniono # pliki} many {Zmieniono # plików} other {Zmieniono # pliku}}","codex.unifiedDiff.inlineLargeFile":"Zbyt duży, by wyświetlić w wierszu","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Cofnij","codex.unifiedDiff.revertPatchError":"Nie udało się wycofać zmian","codex.unifiedDiff.revertPatchSuccess":"Wycofano zmiany","codex.unifiedDiff.reviewChangesSuffix":"zmiany","codex.unifiedDiff.reviewShort":"Zrecenzuj","codex.unifiedDiff.viewDiffTooltip":"Zrecenzuj","codex.upsellBanner.business.headline":"Aby uzyskać większy dostęp już teraz, wyślij prośbę do administratora, albo poczekaj do {resetDate}","codex.upsellBanner.cbp.headline":"Aby zwiększyć swój dostęp teraz, wyślij prośbę do administratora.","codex.upsellBanner.cta.addCredits":"Dodaj kredyty","codex.upsellBanner.cta.upgradeAccount":"Rozszerz","codex.upsellBanner.cta.viewUsage":"Wyświetl wykorzystanie","codex.upsellBanner.free.trialHeadline":"Limit zapytań zresetuje się w dniu: {resetDate}. Aby kontynuować używanie agenta Codex i uzyskać dostęp do modelu GPT-5.3-Codex, już dziś rozpocznij bezpłatny okres próbny planu Plus.","codex.upsellBanner.freeOrGo.headline":"Planowy reset limitu zapytań: {resetDate}. Aby kontynuować używanie agenta Codex, przejdź na plan Plus już dziś.","codex.upsellBanner.general.headline":"Planowy reset limitu zapytań: {resetDate}.","codex.upsellBanner.general.title":"Nie masz już wiadomości Codex","codex.upsellBanner.go.trialHeadline":"Limit zapytań zresetuje się w dniu: {resetDate}. Aby kontynuować używanie agenta Codex, już dziś rozpocznij bezpłatny okres próbny planu Plus.","codex.upsellBanner.plus.headline":"Planowy reset limitu zapytań: {resetDate}. Aby kontynuować używanie agenta Codex, dodaj środki lub przejdź na plan Plus już dziś.","codex.upsellBanner.pro.headline":"Planowy reset limitu zapytań: {resetDate}. Aby kontynuować używanie agenta Codex, dodaj środki już dziś.","codex.userMessage.autoResolveSync":"Automatyczne usuwaj konflikty","codex.userMessage.commentCount":"{count, plural, one {# komentarz} few {# komentarzy} many {# komentarzy} other {# komentarzy}}","codex.userMessage.copiedAriaLabel":"Skopiowano","codex.userMessage.copiedTooltip":"Skopiowano","codex.userMessage.copyAriaLabel":"Skopiuj wiadomość","codex.userMessage.copyTooltip":"Kopiuj","codex.userMessage.implementPlan":"Wdróż plan","codex.userMessage.noContent":"(Brak treści)","codex.userMessage.priorConversation":"Odwołuje się do wcześniejszej konwersacji","codex.userMessage.reviewMode":"Tryb weryfikacji","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"dla {query}","codex.webSearch.summary.verb.completed":"Wyszukano w Internecie","codex.webSearch.summary.verb.inProgress":"Wyszukiwanie w Internecie","codex.windowsInstallWslBanner.dismiss":"Odrzuć","codex.windowsInstallWslBanner.installWslCta":"Włącz piaskownicę","codex.windowsInstallWslBanner.learnMore":"Więcej informacji","codex.windowsSandboxBanner.content":"Tryb agentowy korzysta z eksperymentalnej piaskownicy w Windows, by ograniczać dostęp do systemu plików i do sieci. {sandboxLink}","codex.windowsSandboxBanner.title":"Włącz piaskownicę w trybie agentowym","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Ustawienia Windows","codexUpgradeModal.body":"Nasz najnowszy pionierski model programowania agentowego – inteligentniejszy, szybszy i zdolniejszy w ogólnych zadaniach technicznych. {link}","codexUpgradeModal.close":"Zamknij","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Więcej informacji","codexUpgradeModal.title":"Przedstawiamy model GPT-5.3-Codex-Max","codexUpgradeModal.tryNewModel":"Wypróbuj model GPT-5.3-Codex już teraz","codexUpgradeModal.useExistingModel":"Kontynuuj z bieżącym modelem","commentAttachments.numComments":"{count, plural, one {# komentarz} few {# komentarze} many {# komentarzy} other {# komentarza}}","commentAttachments.removeAriaLabel":"Usuń załącznik z komentarzami","common.close":"Zamknij","composer.addContext.openFilePickerError":"Nie udało się otworzyć selektora pliku","composer.addContextDropdown.ariaLabel":"Dodawaj pliki i nie tylko","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Dodawaj pliki i nie tylko","composer.addPhotosAndFiles":"Dodaj zdjęcia i pliki","composer.atMentionList.emptyQuery":"Zacznij pisać, aby wyszukać pliki","composer.atMentionList.loading":"Wyszukiwanie…","composer.atMentionList.noResults":"Brak wyników","composer.attemptsSelector.option":"{count, plural, one {# wersja} few {# wersje} many {# wersji} other {# wersji}}","composer.attemptsSelector.tooltip":"Liczba równoległych prób, które Codex ma wykonać","composer.attemptsSelector.trigger":"{count}×","composer.backgroundTerminals.stop":"Zatrzymaj","composer.cloudFollowUp.cloud":"Chmura","composer.cloudFollowUp.local":"Lokalne","composer.cloudFollowUp.whereRun":"Gdzie powinno działać to nawiązanie?","composer.cloudTaskCreationError":"Błąd przy tworzeniu zadania chmurowego","composer.cloudTaskError":"Błąd przy tworzeniu zadania","composer.contextWindow.autoCompactionTooltipLine1":"Agent Codex automatycznie kompaktuje kontekst","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Okno kontekstu:","composer.contextWindowUsageStatusFull":"{usage}% zapełnienia","composer.contextWindowUsageStatusLeft":"{usage}% wykorzystane ({remaining}% wolne)","composer.contextWindowUsageTooltip":"{usedTokens} tys. / {contextWindow} tys. wykorzystanych tokenów","composer.customCliTooltip":"Używanie niestandardowego pliku wykonywalnego CLI","composer.dictation.aria":"Dyktuj","composer.dictation.cancel.aria":"Przestań dyktować","composer.dictation.cancel.tooltip":"Przestań dyktować","composer.dictation.startError":"Nie można rozpocząć dyktowania","composer.dictation.submit.aria":"Transkrybuj i wyślij","composer.dictation.submit.tooltip":"Transkrybuj i wyślij","composer.dictation.tooltip":"Przytrzymaj, aby dyktować","composer.dictation.transcribeError":"Nie można transkrybować dźwięku","composer.dictation.unsupported":"Nie można dyktować za pomocą tego urządzenia","composer.dropOverlay.holdShift":"Przytrzymaj {key}, aby upuścić","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Utwórz nowe","composer.environmentSelector.error":"Błąd ładowania środowisk","composer.environmentSelector.goBack":"Wróć do kompozytora","composer.environmentSelector.title":"Wybierz środowisko","composer.environmentSelector.tooltip":"Wybierz środowisko chmurowe","composer.feedbackSlashCommand.title":"Opinia","composer.filePicker.selectFile":"Wybierz plik","composer.filePicker.selectFiles":"Wybierz pliki","composer.followerTooltip":"Aby kontynuować, wróć do okna, w którym ta konwersacja się rozpoczęła.","composer.footer.branchSwitch.checkoutError":"Nie udało się przełączyć gałęzi: {message}","composer.footer.branchSwitch.createAndCheckout":"Utwórz nową gałąź i przełącz się na nią tutaj…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Zatwierdź zmiany, aby utworzyć nową gałąź i się na nią przełączyć","composer.footer.branchSwitch.createBranchError":"Nie udało się utworzyć gałęzi: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nazwa gałęzi","composer.footer.branchSwitch.createDialog.branchExistsError":"Gałąź już istnieje.","composer.footer.branchSwitch.createDialog.close":"Zamknij","composer.footer.branchSwitch.createDialog.createAndCheckout":"Utwórz i przełącz się","composer.footer.branchSwitch.createDialog.placeholder":"nowa-gałąź","composer.footer.branchSwitch.createDialog.title":"Utwórz nową gałąź i przełącz się na nią","composer.footer.branchSwitch.createDialog.trailingSlashError":"Nazwa gałęzi nie może kończyć się znakiem „/”.","composer.footer.branchSwitch.tooltip":"Przełącz gałąź","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Zatwierdź zmiany w {fileCount, plural, one {# plik} few {Pliki: #} many {Pliki: #} other {Pliki: #}}, aby wyrejestrować {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Zatwierdzenie","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"zmiany w {fileCount, plural, one {# plik} few {Pliki: #} many {Pliki: #} other {Pliki: #}}, aby wyrejestrować {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Anuluj","composer.footer.branchSwitch.uncommittedDialog.commit":"Zatwierdź i przełącz gałąź...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Zmiany w następujących plikach zostaną zastąpione po wyrejestrowaniu:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Zatwierdź zmiany, aby kontynuować","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"wybraną gałąź","composer.footer.branchSwitch.uncommittedDialog.title":"Zatwierdź zmiany, aby przełączyć gałąź","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Niezatwierdzone: {fileCount, plural, one {# plik} few {Pliki: #} many {Pliki: #} other {Pliki: #}}","composer.forkSlashCommand.description":"Rozwidl ten wątek w wątek lokalny lub nowe drzewo robocze","composer.forkSlashCommand.option.local.description":"Kontynuuj w nowym wątku lokalnym","composer.forkSlashCommand.option.local.title":"Rozwidl w lokalny","composer.forkSlashCommand.option.worktree.description":"Kontynuuj w nowym drzewie roboczym","composer.forkSlashCommand.option.worktree.title":"Rozwidl w nowe drzewo robocze","composer.forkSlashCommand.title":"Rozwidlenie","composer.ideContextIndicator":"Kontekst ze środowiska IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Dołącz kontekst ze środowiska IDE","composer.ideContextIndicator.tooltipToggle":"aby przełączyć","composer.ideContextSlashCommand.disableDescription":"Wyłącz kontekst ze środowiska IDE","composer.ideContextSlashCommand.enableDescription":"Uwzględnij bieżące zaznaczenie, otwarte pliki i inne informacje kontekstowe ze środowiska IDE.","composer.ideContextSlashCommand.title":"Kontekst ze środowiska IDE","composer.imageInputsUnsupported":"Ten model nie obsługuje danych wejściowych w postaci obrazu. Spróbuj użyć innego modelu.","composer.imageUploadFailed":"Nie udało się przesłać obrazu","composer.includeIdeContextDropdown":"Dołącz kontekst IDE","composer.includeIdeContextDropdown.ariaLabel":"Dołącz kontekst IDE","composer.localCwdDropdown.addWorkspaceRoot":"Dodaj nowy projekt","composer.localCwdDropdown.noActiveRoot":"Wybierz projekt","composer.localCwdDropdown.noResults":"Nie znaleziono folderów","composer.localCwdDropdown.title":"Wybierz projekt","composer.localTaskError":"Błąd podczas uruchamiania konwersacji","composer.mcpSlashCommand.description":"Pokaż stan serwera MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Nie uwierzytelniono","composer.mcpStatus.authOauth":"Uwierzytelniono (OAuth)","composer.mcpStatus.authToken":"Uwierzytelniono (klucz API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zamknij","composer.mcpStatus.disabled":"Wyłączone","composer.mcpStatus.emptyLabel":"Serwery:","composer.mcpStatus.emptyValue":"Nie skonfigurowano serwerów MCP","composer.mcpStatus.enabled":"Włączone","composer.mcpStatus.errorLabel":"Stan:","composer.mcpStatus.errorValue":"Nie można załadować stanu MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Zmień tryb","composer.mode.agentMode.custom":"Niestandardowy","composer.mode.agentMode.custom.dropdownLabel":"Niestandardowy","composer.mode.agentMode.custom.option":"Niestandardowy (config.toml)","composer.mode.agentMode.custom.optionLabel":"Niestandardowy (config.toml)","composer.mode.agentMode.customInfo.cancel":"Anuluj","composer.mode.agentMode.customInfo.cli":"Możesz zmienić te ustawienia z poziomu wiersza poleceń albo edytując plik bezpośrednio.","composer.mode.agentMode.customInfo.confirm":"Użyj trybu niestandardowego","composer.mode.agentMode.customInfo.description":"Tryb niestandardowy stosuje zasady zatwierdzania i piaskownicy zdefiniowane w pliku<link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Więcej informacji na temat konfigurowania zasad zatwierdzeń i piaskownicy zawiera<link>dokumentacja środowiska wykonawczego</link>.","composer.mode.agentMode.customInfo.refresh":"Wszelkie zmiany zostaną uwzględnione przy następnym uruchomieniu agenta.","composer.mode.agentMode.customInfo.title":"Jak działa tryb niestandardowy","composer.mode.agentMode.fullAccess":"Agent (pełny dostęp)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (pełny dostęp)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (pełny dostęp)","composer.mode.agentMode.fullAccessConfirm.caution":"Zachowaj ostrożność, przyznając pełny dostęp. W istotny sposób zwiększa to ryzyko utraty i wycieku danych oraz nieprzewidywalnego działania.","composer.mode.agentMode.fullAccessConfirm.confirm":"Kontynuuj mimo to","composer.mode.agentMode.fullAccessConfirm.description":"Kiedy Codex działa w trybie pełnego dostępu, może edytować dowolny plik z dysku komputera, a także uruchamiać polecenia sieciowe bez zatwierdzenia użytkownika.","composer.mode.agentMode.fullAccessConfirm.goBack":"Anuluj","composer.mode.agentMode.fullAccessConfirm.title":"Udzielić pełnego dostępu?","composer.mode.agentMode.readOnly":"Czat","composer.mode.agentMode.readOnly.dropdownLabel":"Czat","composer.mode.agentMode.readOnly.optionLabel":"Czat","composer.mode.agentMode.tooltip":"Zmień tryb","composer.mode.agentMode.tooltip.auto":"Czytanie i edycja plików, uruchamianie poleceń.","composer.mode.agentMode.tooltip.custom":"Stosuj najnowsze wersje zasad zatwierdzania i piaskownicy zdefiniowane w pliku config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Agent Codex może edytować pliki poza projektem i uruchamiać komendy z dostępem do sieci. Zachowaj ostrożność przy korzystaniu z agenta.","composer.mode.agentMode.tooltip.readOnly":"Wymaga zatwierdzenia w przypadku edycji plików i uruchamiania poleceń.","composer.mode.cloud.tooltip":"Pracuj w środowisku chmurowym","composer.mode.contactAdmin":"Aby poszerzyć dostęp, skontaktuj się z administratorem","composer.mode.local":"Lokalne","composer.mode.local.learnMore":"Więcej informacji","composer.mode.local.model.custom":"Niestandardowy","composer.mode.local.model.loadingModel":"Ładowanie modelu","composer.mode.local.model.selecrReasoningEffort":"Wybierz tryb rozumowania","composer.mode.local.model.selectModel":"Wybierz model","composer.mode.local.model.tooltip":"Wybierz model","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Wysoki","composer.mode.local.reasoning.low.label":"Niski","composer.mode.local.reasoning.medium.label":"Średni","composer.mode.local.reasoning.minimal.label":"Minimalny","composer.mode.local.reasoning.none.label":"Brak","composer.mode.local.reasoning.xhigh.label":"Bardzo duża","composer.mode.localRemoteWhereRun":"Wybierz, gdzie uruchomić zadanie","composer.mode.newTask.header":"Kontynuuj w","composer.mode.rateLimit.day":"{days} d.","composer.mode.rateLimit.heading":"Pozostały limit","composer.mode.rateLimit.hour":"{hours} godz.","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Limit {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {tygodniowy limit} few {{weeks}-tygodniowy limit} many {{weeks}-tygodniowy limit} other {{weeks}-tygodniowy limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Co tydzień} few {{weeks} tygodnie} many {{weeks} tygodni} other {{weeks} tygodnia}}","composer.mode.remote.connectToCloud":"Połącz z Codex w przeglądarce","composer.mode.remote.connectToCloudDisabledTooltip":"Skonfiguruj środowisko za pomocą Codex w przeglądarce, by umożliwić wysyłanie zadań do chmury","composer.mode.remote.selectEnvironment":"Wybierz środowisko","composer.mode.remote.sendToCloud":"Wyślij do chmury","composer.mode.remote.setupViaWeb":"Skonfiguruj środowisko za pomocą Codex w przeglądarce","composer.mode.runInCloud":"Chmura","composer.mode.runInCloudWithEnvironment":"Chmura · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Pracuj w środowisku chmurowym","composer.mode.segmentedToggle.local.tooltip":"Pracuj, korzystając z projektu lokalnego","composer.mode.segmentedToggle.worktree.tooltip":"Pracuj w równoległym drzewie roboczym","composer.mode.upgradeToPlus":"Rozszerz do planu Plus","composer.mode.upgradeToPro":"Rozszerz do planu Pro","composer.mode.workLocally":"Projekt lokalny","composer.mode.workLocally.currentBranchFallback":"moja gałąź","composer.mode.workLocally.tooltip":"Działa za pomocą: {branchName}","composer.mode.worktree":"Nowe drzewo robocze","composer.mode.worktree.submoduleWarning":"To repozytorium ma podmoduły git. Tworzenie drzewa roboczego może zakończyć się niepowodzeniem.","composer.mode.worktree.tooltip":"Utwórz działającą równolegle kopię projektu lokalnego","composer.mode.worktreeSegment":"Drzewo robocze","composer.modelChangeDuringConversationWarning.toast":"Zmiana modelu w trakcie konwersacji obniży jakość wyników.","composer.newChat.heading.browser":"Co teraz będziemy kodować?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex używa uprawnienia zdefiniowanego w pliku config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ma pełny dostęp do Twojego komputera (podwyższone ryzyko)","composer.permissionsDropdown.custom.label":"Niestandardowy (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Niestandardowy (config.toml)","composer.permissionsDropdown.default.label":"Domyślne uprawnienia","composer.permissionsDropdown.default.optionLabel":"Domyślne uprawnienia","composer.permissionsDropdown.default.tooltip":"Codex automatycznie wykonuje komendy w piaskownicy","composer.permissionsDropdown.disabled.requirements":"Dostęp do uprawnień został zablokowany przy użyciu pliku requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Pełny dostęp został wyłączony przy użyciu pliku requirements.toml","composer.permissionsDropdown.fullAccess.label":"Pełny dostęp","composer.permissionsDropdown.fullAccess.optionLabel":"Pełny dostęp","composer.permissionsDropdown.trigger.tooltip":"Zmień uprawnienia","composer.personalitySlashCommand.description.friendly":"Ciepła, chętna do współpracy i pomocna","composer.personalitySlashCommand.description.pragmatic":"Zwięzła, skoncentrowana na zadaniu i bezpośrednia","composer.personalitySlashCommand.label.friendly":"Przyjazny","composer.personalitySlashCommand.label.pragmatic":"Pragmatyczny","composer.personalitySlashCommand.notApplicableSuffix":"(Nie dotyczy obecnego modelu)","composer.personalitySlashCommand.title":"Osobowość","composer.placeholder.cloudFollowUp.directFollowUp":"Kontynuuj do tego zadania chmurowego","composer.placeholder.cloudFollowUp.local":"Utwórz nowe zadanie lokalne odwołujące się do zadania chmurowego.","composer.placeholder.cloudFollowUp.workingTree":"Utwórz nowe zadanie chmurowe, które będzie zawierać obecny kod i będzie odwoływać się do tego zadania.","composer.placeholder.localFollowUp.cloud":"Kontynuuj w nowym zadaniu chmurowym","composer.placeholder.localFollowUp.locally":"Poproś o zmiany w kontynuacji","composer.placeholder.newTask.cloud":"Zleć, by Codex zrobił cokolwiek w chmurze","composer.placeholder.newTask.doAnything":"Zleć, by Codex zrobił cokolwiek","composer.placeholder.newTask.locally":"Zapytaj Codex o cokolwiek, @ dodaje pliki, / dodaje polecenia","composer.planModeDropdown":"Tryb planowania","composer.planModeDropdown.ariaLabel":"Tryb planowania","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Utwórz plan przy użyciu Codex","composer.planModeIndicator.tooltipToggle":"aby przełączyć","composer.planSlashCommand.disableDescription":"Wyłącz tryb planowania","composer.planSlashCommand.enableDescription":"Włącz tryb planowania","composer.planSlashCommand.title":"Tryb planowania","composer.priorContext.label":"Poprzedni kontekst","composer.priorContext.removeAriaLabel":"Usuń poprzedni kontekst","composer.queuedMessage.delete":"Usuń wiadomość z kolejki","composer.queuedMessage.edit":"Edytuj wiadomość","composer.queuedMessage.more":"Działania dotyczące wiadomości","composer.queuedMessage.sendNow":"Kieruj","composer.queuedMessage.sendNowTooltip":"Wyślij teraz bez przerywania pracy","composer.queuedMessage.turnOff":"Wyłącz kolejkowanie","composer.reasoningEffort.local.reasoning.tooltip":"Wybierz intensywność rozumowania","composer.remote.branchStartingPoint":"W jakiej gałęzi powinno być uruchamiane to zadanie?","composer.remote.branchesSectionHeading":"Gałęzie","composer.remote.currentEditsSuffix.followUp":"Utwórz nowe zadanie odwołujące się do zadania chmurowego.","composer.remote.currentEditsSuffix.useLocal":"z lokalnymi zmianami kodu","composer.remote.directFollowUp":"Nie używaj lokalnych zmian kodu","composer.remote.errorLoadingBranches":"Błąd podczas ładowania gałęzi","composer.remote.fromBranch":"Z {branch}","composer.remote.fromCurrentBranch":"Z gałęzi {branch} (bieżącej)","composer.remote.loadingMoreBranches":"Ładowanie…","composer.remote.localFileStateHeading":"Lokalny stan pliku","composer.remote.localWorkingTree":"Używaj zmian lokalnych","composer.remote.startingPoint":"Od jakiego kodu powinno się zaczynać to zadanie?","composer.reviewMode.branches.error":"Nie można załadować gałęzi","composer.reviewMode.branches.retry":"Ponów próbę","composer.reviewMode.gitRoot.error":"Nie znaleziono gita głównego","composer.reviewMode.option.baseBranch.simple":"Sprawdź względem gałęzi bazowej","composer.reviewMode.option.unstaged.simple":"Sprawdź niezatwierdzone zmiany","composer.reviewMode.quickReviewError":"Nie udało się rozpocząć weryfikacji kodu.","composer.reviewMode.title":"Sprawdź kod","composer.sandboxButton.unlock.disabled.tooltip":"Pełny dostęp został wyłączony przy użyciu pliku requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex może używać eksperymentalnej piaskownicy w systemie Windows w celu ograniczenia dostępu do systemu plików i sieci. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Czy włączyć piaskownicę w systemie Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Używaj tylko do odczytu","composer.searchEnvironments":"Wyszukaj środowiska","composer.skillMentionList.app":"Aplikacja","composer.skillMentionList.loading":"Ładowanie umiejętności...","composer.skillMentionList.noResults":"Nie znaleziono umiejętności","composer.slashCommands.cloudEnvironment.title":"Środowisko chmurowe","composer.slashCommands.dialogLabel":"Menu poleceń z ukośnikiem","composer.slashCommands.dialogTitle":"Polecenia z ukośnikiem","composer.slashCommands.disabledTooltip":"Rozpocznij nową konwersację, aby korzystać z poleceń z ukośnikiem","composer.slashCommands.inputPlaceholder":"Wyszukaj","composer.slashCommands.noResults":"Brak poleceń","composer.slashCommands.skillsGroup":"Umiejętności","composer.slashCommands.tooltip":"Przeglądaj polecenia z ukośnikiem","composer.status.close":"Zamknij","composer.statusPlain.alertLabel":"Alert","composer.statusPlain.alertValue":"Zostało {remaining}% w {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count} tys.","composer.statusPlain.contextValueMetadata":"({used} wykorzystano / {total})","composer.statusPlain.contextValueRemaining":"Zostało {remaining}%","composer.statusPlain.heading":"Stan","composer.statusPlain.modelRateLimitSectionLabel":"Limit {modelName}:","composer.statusPlain.rateLimitDays":"limit {count} dni","composer.statusPlain.rateLimitFallbackLabel":"Limit:","composer.statusPlain.rateLimitHours":"limit {count} h","composer.statusPlain.rateLimitLabelBase":"Limit","composer.statusPlain.rateLimitMinutes":"limit {count} min","composer.statusPlain.rateLimitPercent":"Zostało {remaining}%","composer.statusPlain.rateLimitReset":"zerowanie: {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"czas zerowania niedostępny","composer.statusPlain.rateLimitUnavailable":"Niedostępne","composer.statusPlain.sessionCopiedAriaLabel":"Skopiowano identyfikator sesji","composer.statusPlain.sessionCopiedTooltip":"Skopiowano identyfikator","composer.statusPlain.sessionCopyAriaLabel":"Kopiuj identyfikator sesji","composer.statusPlain.sessionCopyTooltip":"Kopiuj identyfikator","composer.statusPlain.sessionLabel":"Sesja:","composer.statusSlashCommand.description":"Pokaż identyfikator wątku, użycie kontekstu i limity","composer.statusSlashCommand.title":"Stan","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Nie można wysłać wiadomości","composer.submit.emptyMessage":"Wprowadź wiadomość, aby rozpocząć","composer.submit.imageInputsUnsupported":"Usuń zdjęcia lub przełącz model, aby wysłać tę wiadomość.","composer.submit.loadingLocalConfig":"Ładowanie…","composer.submit.missingCloudConfig":"Musisz wybrać środowisko chmurowe","composer.submit.missingCloudTurn":"Nie można nawiązać do tego zadania","composer.submit.noWorkspace":"Aby móc używać agenta Codex, musisz dodać projekt","composer.submit.waitForImageUploads":"Przesyłanie obrazów...","composer.submitButtonTooltip.send":"Wyślij","composer.submitButtonTooltip.stop":"Zatrzymaj","composer.worktreeEnvironment.create":"Utwórz środowisko lokalne","composer.worktreeEnvironment.default":"Środowisko domyślne","composer.worktreeEnvironment.error":"Błąd ładowania środowisk","composer.worktreeEnvironment.loading":"Ładowanie środowisk...","composer.worktreeEnvironment.title":"Środowisko lokalne","composer.worktreeEnvironment.tooltip":"Wybierz środowisko lokalne","composer.worktreeSetupFailed":"Nie udało się skonfigurować drzewa roboczego. Sprawdź skrypt konfiguracyjny w .codex/environments.","compoundButton.secondaryAction":"Działanie dodatkowe","copyButton.copied":"Skopiowano","copyButton.copiedAriaLabel":"Skopiowano","copyButton.copy":"Kopiuj","copyButton.copyAriaLabel":"Kopiuj","copyButton.copyCode":"Skopiuj kod","diff.actionButton.revertFile":"Przywróć plik","diff.actionButton.revertHunk":"Wycofaj","diff.actionButton.revertSection":"Przywróć wszystkie","diff.actionButton.revertSectionLabel":"Przywróć wszystkie","diff.actionButton.stageFile":"Wstaw plik do poczekalni","diff.actionButton.stageHunk":"Wstaw do poczekalni","diff.actionButton.stageSection":"Wstaw wszystko do poczekalni","diff.actionButton.stageSectionLabel":"Wstaw wszystko do poczekalni","diff.actionButton.unstageFile":"Wyjmij plik z poczekalni","diff.actionButton.unstageHunk":"Wyjmij z poczekalni","diff.actionButton.unstageSection":"Wyjmij wszystko z poczekalni","diff.actionButton.unstageSectionLabel":"Wyjmij wszystko z poczekalni","diff.fileHeader.toggle":"Przełącz diff pliku","electron.onboarding.login.apikey.cancel":"Anuluj","electron.onboarding.login.apikey.continue":"Kontynuuj","electron.onboarding.login.apikey.label":"Klucz API OpenAI","electron.onboarding.login.apikey.open":"Wprowadź klucz API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Anuluj logowanie","electron.onboarding.login.chatgpt.continue":"Kontynuuj z ChatGPT","electron.onboarding.login.devbox":"Połącz ze zdalnym SSH","electron.onboarding.login.error":"Nie udało się zalogować: {rawMessage}","electron.onboarding.login.snake.start":"Zagraj w Węża","electron.onboarding.login.sshConfig.cancel":"Anuluj","electron.onboarding.login.sshConfig.continue":"Kontynuuj","electron.onboarding.login.sshConfig.hostnameLabel":"Nazwa hosta SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Najlepszy sposób tworzenia agentów","electron.onboarding.login.title":"Witamy w Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Kontynuuj","electron.onboarding.welcome.doubleLimits.description":"Z okazji premiery aplikacji Codex do 2 kwietnia możesz korzystać z podwójnego limitu zapytań.","electron.onboarding.welcome.freego.description":"Codex będzie dostępny bezpłatnie w Twoim planie do 2 marca – zacznijmy razem tworzyć rozwiązania.","electron.onboarding.welcome.new.title.anon":"Witaj","electron.onboarding.workspace.continue":"Kontynuuj","electron.onboarding.workspace.empty":"Aby kontynuować, dodaj projekt.","electron.onboarding.workspace.listLabel":"Dostępne projekty","electron.onboarding.workspace.loading":"Ładowanie projektów...","electron.onboarding.workspace.openFolder":"Dodaj projekt","electron.onboarding.workspace.selectAll":"Wybierz wszystko","electron.onboarding.workspace.skip":"Pomiń","electron.onboarding.workspace.skip.error":"Nie udało się utworzyć nowego projektu: {message}","electron.onboarding.workspace.skip.error.unknown":"Nieznany błąd","electron.onboarding.workspace.skipping":"Tworzenie nowego projektu...","electron.onboarding.workspace.subtitle":"Codex będzie mógł edytować pliki i uruchamiać komendy w wybranych folderach.","electron.onboarding.workspace.title":"Wybierz projekt","errorPage.list.checkSettings":"Zaktualizuj ustawienia IDE","errorPage.list.configToml":"Sprawdź, czy config.toml nie zawiera nieprawidłowych ustawień","errorPage.list.downloadExtension":"Pobierz inną wersję rozszerzenia","errorPage.list.runInWsl":"Sprawdź ustawienia, aby wyłączyć uruchamianie w WSL, jeśli występują problemy ze zgodnością","execApprovalRequest.menu.runAlways":"Tak; nie pytaj ponownie podczas tej sesji","execApprovalRequest.menu.runAlwaysWithAmendment":"Tak, i nie pytaj ponownie w przypadku komend zaczynających się od {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Tak, i nie pytaj ponownie w przypadku komend zaczynających się od","execApprovalRequest.menu.runOnce":"Tak","execApprovalRequest.prompt":"Czy chcesz uruchomić to polecenie?","execApprovalRequest.reject":"Nie","execFooter.exitCode":"Kod zakończenia {code}","execFooter.exitCode.unknown":"nieznany","execFooter.success":"Sukces","feedback.dialog.category.badResult":"Nieprawidłowy wynik","feedback.dialog.category.bug":"Błąd","feedback.dialog.category.goodResult":"Prawidłowy wynik","feedback.dialog.category.other":"Inne","feedback.dialog.descriptionPlaceholder":"Opisz problem","feedback.dialog.dismiss":"Odrzuć","feedback.dialog.includeLogsLabel":"Uwzględnij dzienniki bieżącej sesji Codex","feedback.dialog.submit":"Prześlij","feedback.dialog.submitError":"Nie udało się przesłać opinii. Spróbuj ponownie za chwilę.","feedback.dialog.title":"Opinia","feedback.dialog.uploadedMessage.existingIssue":"istniejący nierozwiązany problem","feedback.dialog.uploadedMessage.openIssue":"otwórz zgłoszenie problemu z GitHub","feedback.dialog.uploadedMessage.withThread":"Przesłano opinię. Jeśli problem będzie się powtarzał, {openIssueLink} lub wzmiankuj identyfikator wątku w {existingIssueLink}:","feedback.dialog.uploadedTitle":"Przesłano opinię","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Usuń {filename}","header.back":"Wstecz","header.recentChats":"Zadania","header.recentTasks.seeAll":"Wyświetl wszystkie ({total})","home.header.getPlus":"Wybierz plan Plus","home.hero.letsBuild":"Stwórzmy coś","homePage.mainContent":"Główna treść","imageAttachment.defaultName":"obraz","imageAttachment.preview.close":"Zamknij podgląd obrazu","imageAttachment.removeAriaLabel":"Usuń {filename}","implementPlanRequest.option.implement":"Tak, wdróż ten plan","implementPlanRequest.prompt":"Wdrożyć ten plan?","inbox.archived.deleteError":"Nie udało się usunąć zarchiwizowanego uruchomienia","inbox.archived.deleteRun":"Usuń zarchiwizowane uruchomienie","inbox.archived.deleteSuccess":"Zarchiwizowany wątek został usunięty. Zobacz w obszarze <settingsLink>Zarchiwizowane wątki</settingsLink>.","inbox.archived.inlineLabel.auto":"Ten wątek został automatycznie zarchiwizowany. <learnMoreLink>Więcej informacji</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ten wątek został zarchiwizowany.","inbox.archived.noMessageFound":"Nie znaleziono wiadomości","inbox.automations.createError":"Nie można utworzyć automatyzacji","inbox.automations.deleteConfirm.cancel":"Anuluj","inbox.automations.deleteConfirm.confirm":"Usuń automatyzację","inbox.automations.deleteConfirm.description":"To spowoduje trwałe usunięcie automatyzacji i zatrzymanie dalszych jej uruchomień w przyszłości.","inbox.automations.deleteConfirm.title":"Usunąć {name}?","inbox.automations.deleteError":"Nie udało się usunąć automatyzacji","inbox.automations.editTooltip":"Edycja automatyzacji","inbox.automations.inProgress":"W trakcie","inbox.automations.new":"Nowość","inbox.automations.newToolbar":"Nowa automatyzacja","inbox.automations.pauseTooltip":"Wstrzymanie automatyzacji","inbox.automations.resumeTooltip":"Wznowienie automatyzacji","inbox.automations.startingNow":"Trwa uruchamianie","inbox.automations.startsIn":"Rozpoczęcie za {startTime}","inbox.automations.status.active":"Aktywne","inbox.automations.status.paused":"Wstrzymano","inbox.automations.status.runs":"Uruchomienia: {count}","inbox.automations.status.started":"Rozpoczęto: {date}","inbox.automations.updateError":"Nie udało się zaktualizować automatyzacji","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Wszystkie","inbox.filter.ariaLabel":"Filtruj elementy w skrzynce odbiorczej","inbox.filter.unread":"Nieprzeczytane","inbox.list.archived":"Zarchiwizowane","inbox.list.inProgress":"W trakcie","inbox.list.recent":"Ukończono","inbox.list.upNext":"Zaplanowano","inbox.mode.automations":"Automatyzacje","inbox.mode.automations.beta":"Wersja beta","inbox.noDescription":"Nie dostarczono opisu","inbox.openThread":"Otwórz wątek","inbox.rightPanel.emptySubtitle":"Zautomatyzuj pracę, konfigurując zaplanowane zadania","inbox.rightPanel.emptySubtitle.learnMore":"Zautomatyzuj pracę, konfigurując zaplanowane wątki.<link>Więcej informacji</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktywna automatyzacja} few {# aktywne automatyzacje} many {# aktywnych automatyzacji} other {# aktywnej automatyzacji}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Brak nieodczytanych automatyzacji","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# nieodczytana automatyzacja} few {# nieodczytane automatyzacje} many {# nieodczytanych automatyzacji} other {# nieodczytanej automatyzacji}}","inbox.rightPanel.emptyTitle":"Bak wybranych elementów","inbox.rightPanel.noThread":"Brak wątków dla tego elementu","inbox.rightPanel.quickStart.header":"Zacznij od szablonu","inbox.untitled":"Element bez nazwy ze skrzynki odbiorczej","loadingPage.documentationLink":"dokumentacja","loadingPage.errorDescription":"Codex napotkał następujący błąd:","loadingPage.errorDescription.documentation":"Kliknij opcję Załaduj ponownie, aby ponownie uruchomić rozszerzenie Codex. Dodatkowe informacje zawiera nasza {documentationLink}.","loadingPage.errorSignal":"Warto wypróbować takie sposoby:","loadingPage.errorTitle":"Wystąpił błąd","loadingPage.openConfigToml":"Otwórz config.toml","loadingPage.reload":"Załaduj ponownie","localConversation.contextCompacted":"Nastąpiło automatyczne kompaktowanie kontekstu","localConversation.contextCompacting":"Automatyczne kompaktowanie kontekstu","localConversation.forkedFromConversation":"Rozwidlenie z {threadTitle}","localConversation.merge.autoResolve.failed":"Nie udało się zażądać automatycznego rozwiązywania: {error}","localConversation.merge.autoResolve.sent":"Wysłano żądanie automatycznego rozwiązywania","localConversation.merge.autoResolveMerge.missingConversation":"Nie można automatycznie rozwiązać bez aktywnej konwersacji.","localConversation.merge.autoResolveMerge.request":"Automatycznie rozwiązuj konflikty scalania","localConversation.modelChanged":"Zmieniono model z {fromModel} na {toModel}.","localConversation.modelChanged.warning.line1":"Zmiana modelu w trakcie konwersacji obniży jakość wyników.","localConversation.modelChanged.warning.line2":"Możliwa jest automatyczna kompresja kontekstu.","localConversation.moveThread.createBranch.label":"Utwórz gałąź","localConversation.moveToLocal.disabled.loading":"Ładowanie…","localConversation.moveToLocal.modal.continue":"Kontynuuj","localConversation.moveToLocal.modal.destinationLabel":"Przenieś do","localConversation.moveToLocal.modal.retry":"Ponów próbę","localConversation.moveToWorktree.modal.back":"Wstecz","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Gałąź już istnieje.","localConversation.moveToWorktree.modal.branchesError":"Nie można załadować gałęzi","localConversation.moveToWorktree.modal.branchesLoading":"Ładowanie gałęzi...","localConversation.moveToWorktree.modal.branchesRetry":"Ponów próbę","localConversation.moveToWorktree.modal.continue":"Kontynuuj","localConversation.moveToWorktree.modal.retry":"Ponów próbę","localConversation.moveToWorktree.modal.trailingSlashError":"Nazwa gałęzi nie może kończyć się znakiem „/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nowa-gałąź","localConversation.personalityChanged":"Przełączono na osobowość: {personality}","localConversation.planSummary.collapse":"Zwiń podsumowanie planu","localConversation.planSummary.collapseTooltip":"Zwiń","localConversation.planSummary.download":"Pobierz plan","localConversation.planSummary.expand":"Rozwiń podsumowanie planu","localConversation.planSummary.expandTooltip":"Rozwiń","localConversation.planSummary.openInNewWindow":"Otwórz","localConversation.planSummary.openInNewWindow.tooltip":"Otwórz w nowym oknie","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Pisanie planu","localConversation.planSummary.viewPlan":"Rozszerz plan","localConversation.remoteTaskCreated":"Utworzono {taskLink} w Codex Cloud","localConversation.remoteTaskCreated.task":"zadanie","localConversation.scrollToBottomButton":"Przewiń na dół","localConversation.sync.buttonLabel":"Przekaż do lokalnego repozytorium","localConversation.sync.buttonLabel.tooltip":"Przekaż zmiany między tym drzewem roboczym a lokalną wyrejestrowaną kopią.","localConversation.sync.modal.loading.title":"Przekazywanie zmian...","localConversation.sync.modal.noChanges":"Brak zmian","localConversation.syncSetup.branchAriaLabel":"Nazwa gałęzi","localConversation.syncSetup.branchName":"Nazwa gałęzi","localConversation.syncSetup.branchPlaceholder.existing":"Wybierz istniejącą gałąź","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Ładowanie gałęzi...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Na tę gałąź już się przełączono","localConversation.syncSetup.checkoutClean":"Aktualnie w {branchName}","localConversation.syncSetup.checkoutDirty":"Bieżąca gałąź to {branchName} z niezatwierdzonymi zmianami","localConversation.syncSetup.checkoutError":"Nie udało się przełączyć na gałąź: {message}","localConversation.syncSetup.checkoutLabel":"Przełącz się lokalnie już teraz","localConversation.syncSetup.checkoutOnLocal":"Przekaż do lokalnego repozytorium","localConversation.syncSetup.checkoutPending":"Sprawdzanie statusu lokalnego...","localConversation.syncSetup.checkoutUnavailable":"Lokalny obszar roboczy jest niedostępny","localConversation.syncSetup.checkoutUnknown":"Lokalna gałąź nie jest dostępna","localConversation.syncSetup.continue":"Kontynuuj","localConversation.syncSetup.createBranchError":"Nie udało się ustawić gałęzi docelowej przekazania: {message}","localConversation.syncSetup.error":"Wystąpił problem: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nie udało się wykonać migawki drzewa roboczego. Spróbuj ponowić przekazywanie.","localConversation.syncSetup.mode.ariaLabel":"Wybierz tryb gałęzi","localConversation.syncSetup.mode.existing":"Istniejąca gałąź","localConversation.syncSetup.mode.new":"Nowa gałąź","localConversation.syncSetup.noBranches":"Nie znaleziono żadnych gałęzi","localConversation.syncSetup.overwriteError":"Gałąź została utworzona, ale przekazywanie zmian nie zostało ukończone. Przed przełączeniem się na gałąź lokalnie dokończ przekazywanie ręcznie.","localConversation.syncSetup.setPrefix":"Ustaw prefiks","localConversation.syncSetup.subtitle":"Testuj i edytuj zmiany w drzewie roboczym lokalnie. <a>Więcej informacji</a>","localConversation.syncSetup.success.checkedOut":"Gałąź została utworzona i przełączono się na nią lokalnie","localConversation.syncSetup.success.notCheckedOut":"Gałąź została utworzona","localConversation.syncSetup.title":"Przekaż do lokalnej gałęzi","localConversation.syncWorktreeError.branchAriaLabel":"Nazwa gałęzi","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Wybierz gałąź docelową przekazania, a następnie ponów próbę załadowania zmian.","localConversation.syncWorktreeError.branchSetup.title":"Zaktualizuj gałąź","localConversation.syncWorktreeError.branchUpdate.cta":"Zaktualizuj i spróbuj ponownie","localConversation.syncWorktreeError.branchUpdate.error":"Nie udało się zaktualizować gałęzi: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Wystąpił problem: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Nie przełączono się na gałąź w żadnym drzewie roboczym.","localConversation.syncWorktreeV2.applyUncommitted":"Zastosuj","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Aby zastosować niezatwierdzone zmiany, musisz przełączyć się na gałąź lokalnie","localConversation.syncWorktreeV2.branches.empty":"Nie znaleziono żadnych gałęzi","localConversation.syncWorktreeV2.branches.loading":"Ładowanie gałęzi...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Zmień gałąź docelową przekazania","localConversation.syncWorktreeV2.changeBranch.error":"Nie udało się zmienić gałęzi docelowej przekazania: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Nie udało się zastosować","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Nie udało się nadpisać drzewa roboczego","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Nie udało się nadpisać lokalnego repozytorium","localConversation.syncWorktreeV2.commandError.back":"Wstecz","localConversation.syncWorktreeV2.commandError.body":"Niepowodzenie komendy git podczas przekazywania. Sprawdź dane wyjściowe i spróbuj ponownie.","localConversation.syncWorktreeV2.commandError.retry":"Ponów próbę","localConversation.syncWorktreeV2.description":"Przekaż zmiany między lokalnym repozytorium i tym drzewem roboczym <a>Więcej informacji</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Wybierz kierunek przekazania","localConversation.syncWorktreeV2.error.generic":"Wystąpił problem podczas przekazywania. Spróbuj ponownie.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalne","localConversation.syncWorktreeV2.noChanges":"Obliczanie zmian","localConversation.syncWorktreeV2.noChanges.summary":"Brak zmian","localConversation.syncWorktreeV2.overwrite.local":"Nadpisz lokalne repozytorium","localConversation.syncWorktreeV2.overwrite.worktree":"Nadpisz drzewo robocze","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nie udało się zastosować zmian","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nie udało się nadpisać zmian w lokalnym repozytorium","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nie udało się nadpisać zmian w drzewie roboczym","localConversation.syncWorktreeV2.partial.appliedLabel":"Zastosowano","localConversation.syncWorktreeV2.partial.back":"Wstecz","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Usuń konflikty i spróbuj ponownie.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikty","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# plik} few {Pliki: #} many {Pliki: #} other {Pliki: #}}","localConversation.syncWorktreeV2.partial.retry":"Ponów próbę","localConversation.syncWorktreeV2.partial.skippedLabel":"Pominięto","localConversation.syncWorktreeV2.stateFailed.generic":"Wystąpił błąd podczas pobierania zmian z drzewa roboczego do przekazania. Spróbuj ponownie.","localConversation.syncWorktreeV2.stateFailed.title":"Nie udało się załadować zmian w drzewie roboczym","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nie udało się załadować zmian w drzewie roboczym.","localConversation.syncWorktreeV2.statusError.retry":"Ponów próbę","localConversation.syncWorktreeV2.statusError.title":"Nie udało się załadować zmian w lokalnej gałęzi","localConversation.syncWorktreeV2.statusError.unknown":"Status gałęzi jest teraz niedostępny. Spróbuj ponownie.","localConversation.syncWorktreeV2.success.apply":"Pomyślnie zastosowano zmiany","localConversation.syncWorktreeV2.success.overwrite":"Przekazano pomyślnie","localConversation.syncWorktreeV2.title":"Przekaż zmiany","localConversation.syncWorktreeV2.worktreeLabel":"Drzewo robocze","localConversation.userInputRequest.inProgress":"Zadaję pytanie {count, plural, one {pytanie} few {pytania} many {pytań} other {pytania}}","localConversation.userInputRequest.noAnswer":"Nie podano odpowiedzi","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Zadano","localConversation.userInputRequest.summary.count":"{count, plural, one {# pytanie} few {# pytania} many {# pytań} other {# pytania}}","localConversation.workedFor":"Pracował przez {time}","localConversation.worktreeBranchSetup.action.create":"Utwórz","localConversation.worktreeBranchSetup.branchAriaLabel":"Nazwa gałęzi","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Utwórz nową gałąź","localConversation.worktreeBranchSetup.checkoutDisabled":"Już przełączono się na tę gałąź w {location}","localConversation.worktreeBranchSetup.checkoutError":"Nie udało się przełączyć na gałąź: {message}","localConversation.worktreeBranchSetup.createBranchError":"Nie udało się ustawić gałęzi: {message}","localConversation.worktreeBranchSetup.error":"Wystąpił problem: {message}","localConversation.worktreeBranchSetup.subtitle":"Utwórz gałąź, aby zatwierdzić zmiany, wykonać działanie wypchnięcia i utworzyć żądanie PR z poziomu tego drzewa roboczego. <a>Więcej informacji</a>","localConversation.worktreeBranchSetup.title":"Pracuj tutaj","localConversationPage.addWorktreeToSidebar.tooltip":"Zapisz jako projekt, aby móc tworzyć nowe wątki z poziomu tego drzewa roboczego","localConversationPage.addWorktreeToSidebarError":"Nie udało się dodać projektu","localConversationPage.commitAndCreatePrModal.errorTitle":"Zatwierdzanie i tworzenie PR nie powiodło się","localConversationPage.commitAndCreatePrModal.successTitle":"Zatwierdzono i utworzono PR","localConversationPage.commitAndPushModal.errorTitle":"Zatwierdzanie i wypychanie zmian nie powiodło się","localConversationPage.commitAndPushModal.successTitle":"Zatwierdzono i wypchnięto zmiany","localConversationPage.commitCreatePr.open":"Otwórz żądanie ściągnięcia","localConversationPage.commitCreatePr.successTitle":"Utworzono PR obejmujące najnowsze zmiany","localConversationPage.createBranchButtonLabel":"Utwórz gałąź tutaj","localConversationPage.createPrModal.baseBranch":"Podstawa","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Utwórz PR","localConversationPage.createPrModal.createDescription":"Otwórz żądanie ściągnięcia dla najnowszych zmian.","localConversationPage.createPrModal.errorTitle":"Niepowodzenie żądania ściągnięcia","localConversationPage.createPrModal.headBranch":"Nagłówek","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Otwórz PR","localConversationPage.createPrModal.successTitle":"Utworzono żądanie ściągnięcia","localConversationPage.createPrModal.title":"Utwórz żądanie ściągnięcia","localConversationPage.createPrModal.viewDescription":"Żądanie ściągnięcia dla tej gałęzi już istnieje.","localConversationPage.createPrModal.viewTitle":"Żądanie ściągnięcia jest gotowe","localConversationPage.createPullRequestAuthGh":"Uwierzytelnij CLI GitHub: uruchom `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informacje o gałęzi nie są dostępne","localConversationPage.createPullRequestButtonLabel":"Utwórz PR","localConversationPage.createPullRequestButtonLabel.loading":"Tworzenie PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Informacje o gałęzi domyślnej nie są dostępne","localConversationPage.createPullRequestError":"Nie udało się utworzyć żądania ściągnięcia","localConversationPage.createPullRequestExistingPullRequest":"Żądanie ściągnięcia dla tej gałęzi już istnieje","localConversationPage.createPullRequestGhStatusMissing":"Ładowanie statusu CLI GitHub…","localConversationPage.createPullRequestInstallGh":"Zainstaluj CLI GitHub (gh), aby tworzyć PR","localConversationPage.createPullRequestNoRepo":"Nie znaleziono repozytorium git","localConversationPage.createPullRequestPushStatusMissing":"Ładowanie statusu wypchnięcia...","localConversationPage.createPullRequestSetUpstream":"Wypchnij tę gałąź przed utworzeniem PR","localConversationPage.createPullRequestSuccessToast":"Utworzono żądanie ściągnięcia","localConversationPage.createPullRequestSwitchBranch":"Przełącz się na gałąź funkcji przed utworzeniem PR","localConversationPage.error.render":"Błąd przy renderowaniu lokalnej konwersacji","localConversationPage.error.toast":"Nie znaleziono konwersacji","localConversationPage.forcePushError":"Nie udało się wymusić wypchnięcia","localConversationPage.generatePullRequestMessageError":"Nie udało się wygenerować tytułu i treści żądania ściągnięcia","localConversationPage.generatePullRequestMessageFailed":"Nie udało się wygenerować tytułu i treści żądania ściągnięcia.","localConversationPage.gitActionResult.branch":"Gałąź","localConversationPage.gitActionResult.cancel":"Anuluj","localConversationPage.gitActionResult.close":"Zamknij","localConversationPage.gitActionResult.tryAgain":"Spróbuj ponownie","localConversationPage.gitActions":"Działania dla gita","localConversationPage.newChat":"Nowy czat","localConversationPage.openInTarget":"Otwórz w","localConversationPage.openPrimaryTarget":"Otwórz","localConversationPage.planItemsCompleted":"{completedItems} z {totalItems, plural, one {Zakończone zadania: #} few {Zakończone zadania: #} many {Zakończone zadania: #} other {Zakończone zadania: #}}","localConversationPage.pushAuthError":"Nie udało się wypchnąć: wymagane uwierzytelnianie wieloskładnikowe","localConversationPage.pushBranchMissing":"Informacje o gałęzi nie są dostępne","localConversationPage.pushButtonLabel":"Powiadomienie push","localConversationPage.pushButtonLabel.loading":"Wypychanie...","localConversationPage.pushError":"Nie udało się wypchnąć zmian","localConversationPage.pushModal.branchLabel":"Gałąź","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Anuluj","localConversationPage.pushModal.confirm":"Powiadomienie push","localConversationPage.pushModal.description":"Wypchnij najnowsze zatwierdzone zmiany do zdalnego repozytorium.","localConversationPage.pushModal.errorTitle":"Niepowodzenie wypchnięcia","localConversationPage.pushModal.forcePush":"Wymuś wypchnięcie","localConversationPage.pushModal.successTitle":"Zakończono wypchnięcie","localConversationPage.pushModal.title":"Wypchnij zmiany","localConversationPage.pushModal.tryAgain":"Spróbuj ponownie","localConversationPage.pushNoUpstream":"Przed wypchnięciem tej gałęzi ustaw gałąź macierzystą","localConversationPage.pushNoUpstreamError":"Nie udało się wypchnąć: nie skonfigurowano gałęzi macierzystej","localConversationPage.pushNothingToPush":"Nie ma nowych zatwierdzeń do wypchnięcia","localConversationPage.pushRemoteChangedError":"Nie udało się wypchnąć: zdalne repozytorium ma nowe zatwierdzone zmiany","localConversationPage.pushRemoteRejectedError":"Wypchnięcie zmian odrzucone przez zdalne repozytorium","localConversationPage.pushStatusMissing":"Ładowanie statusu wypchnięcia...","localConversationPage.pushSuccessToast":"Zmiany zostały wypchnięte","localConversationPage.viewPullRequestButtonLabel":"Wyświetl PR","localConversationPage.viewPullRequestButtonLabel.loading":"Ładowanie żądania ściągnięcia…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# plik} few {# pliku} many {# pliku} other {# pliku}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} few {# listy} many {# list} other {# listy}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {Wyszukiwania: #} few {Wyszukiwania: #} many {Wyszukiwania: #} other {Wyszukiwania: #}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Odkrywanie","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Odkryto","localConversationTurn.exploration.accordion.header.complete.withCounts":"Odkryto: {counts}","localConversationTurnStory.showContent":"Pokaż treść","localConversationTurnStory.streamContent":"Treść strumienia","localConversationTurnStory.toggleReasoning":"Pokaż rozumowanie","localTaskRow.archiveError":"Nie udało się zarchiwizować konwersacji","localTaskRow.resumeError":"Nie udało się wznowić zadania","mermaidDiagram.ariaLabel":"Diagram Mermaid","mermaidDiagram.copySource":"Kopiuj mermaid","mermaidDiagram.originalCode":"Kod źródłowy Mermaid","notifications.permissions.description":"Pokazuj ostrzeżenia, gdy wymagane są uprawnienia do powiadomień","notifications.permissions.label":"Powiadomienia o włączeniu uprawnień","notifications.turnMode.always":"Zawsze","notifications.turnMode.description":"Określ, kiedy agent Codex ma powiadamiać Cię o ukończeniu działania","notifications.turnMode.label":"Powiadomienia o ukończeniu tury","notifications.turnMode.off":"Nigdy","notifications.turnMode.unfocused":"Tylko gdy nie ma fokusu","patchApprovalRequest.approve":"Zatwierdź","patchApprovalRequest.menu.allowAlways":"Tak; nie pytaj ponownie podczas tej sesji","patchApprovalRequest.menu.allowForSession":"Tak; nie pytaj ponownie podczas tej sesji","patchApprovalRequest.menu.allowOnce":"Tak","patchApprovalRequest.prompt":"Czy chcesz wprowadzić te zmiany?","patchApprovalRequest.reject":"Nie","patchApprovalRequest.waitingForApproval":"Oczekiwanie na zatwierdzenie edycji plików","pendingRequest.approvalExec.collapse":"Zwiń","pendingRequest.approvalExec.expand":"Rozwiń","pendingRequestStory.toastAnswer":"Odpowiedź: {answer}","pendingRequestStory.toastApprovalTitle":"Odpowiedź dotycząca zatwierdzenia","pendingRequestStory.toastFollowupPrompt":"Polecenie: {prompt}","pendingRequestStory.toastFollowupTitle":"Wysłano odpowiedź","pendingRequestStory.toastNoAnswers":"Nie podano odpowiedzi","pendingRequestStory.toastQuestion":"Pytanie {question}","pendingRequestStory.toastUnknownDecision":"Nieznane","pendingRequestStory.toastUserInputTitle":"Przesłane odpowiedzi","quickAction.request.codeReview.branches.new":"Sprawdź zmiany w {from} względem {to}","quickAction.request.codeReview.uncommitted.new":"Sprawdź moje niezatwierdzone zmiany","reasoningItem.thinking":"Myśli","reasoningItem.thought":"Myślał","reasoningItem.thoughtWithElapsed":"Myślał przez {elapsed}","recentConversations.title":"Ostatnie konwersacje","recentTasks.worktreeInitFailedTitle":"Nie udało się zainicjować drzewa roboczego","recentTasks.worktreeSettingUpTitle":"Konfigurowanie drzewa roboczego","requestInputPanel.continue":"Kontynuuj","requestInputPanel.dismiss":"Odrzuć","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Wpisz tutaj","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nie; powiedz agentowi, co ma zrobić inaczej","requestInputPanel.selectedBadge":"Wybrane","requestInputPanel.skip":"Pomiń","requestInputPanel.submit":"Prześlij","review.commit.ariaLabel.includeUnstaged":"Uwzględnij zmiany spoza poczekalni","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Zatwierdzanie...","review.commit.disabled.loadingDiff":"Ładowanie diffa…","review.commit.disabled.missingContext":"Dodaj kontekst, aby wygenerować opis zmian dla zatwierdzenia","review.commit.disabled.noChanges":"Brak zmian do zatwierdzenia","review.commit.disabled.noSelection":"Wybierz zmiany do zatwierdzenia","review.commit.disabled.unavailable":"Zatwierdzenie jest teraz niedostępne","review.commit.error":"Nie udało się zatwierdzić zmian","review.commit.form.changesToBeCommitted":"Zmiany","review.commit.form.commitTo":"Gałąź","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Kontynuuj","review.commit.form.title":"Zatwierdzanie zmian","review.commit.generate.emptyResponse":"Nie udało się wygenerować opisu zmian dla zatwierdzenia.","review.commit.generate.failed":"Nie udało się wygenerować opisu zmian dla zatwierdzenia: {error}","review.commit.generate.missingPrompt":"Dodaj kontekst, aby wygenerować opis zmian dla zatwierdzenia.","review.commit.includeUnstaged":"Uwzględnij zmiany spoza poczekalni","review.commit.loading.description":"Prosimy o cierpliwość. To może zająć chwilę.","review.commit.loading.step.commit.done":"Zatwierdzone zmiany","review.commit.loading.step.commit.pending":"Zatwierdzanie zmian","review.commit.loading.step.createPr.done":"Utworzono żądanie ściągnięcia","review.commit.loading.step.createPr.pending":"Tworzenie żądania ściągnięcia","review.commit.loading.step.push.done":"Wypchnięto do gałęzi {branch}","review.commit.loading.step.push.pending":"Wypychanie do gałęzi {branch}","review.commit.loading.title.commit":"Zatwierdzanie zmian","review.commit.loading.title.createPr":"Tworzenie PR","review.commit.loading.title.push":"Wypychanie zmian","review.commit.messageLabel":"Wiadomość commitu","review.commit.messagePlaceholder":"Pozostaw to pole puste, aby opis zmian dla zatwierdzenia został wygenerowany automatycznie","review.commit.nextSteps":"Następne kroki","review.commit.nextSteps.commit":"Zatwierdzenie","review.commit.nextSteps.commitAndCreate":"Zatwierdź i utwórz PR","review.commit.nextSteps.commitAndPush":"Zatwierdź i wypchnij","review.commit.nextSteps.prRequiresGh":"Wymaga GitHub CLI: {command}","review.commit.rows.changes":"Zmiany","review.commit.rows.commitCount":"{count, plural, one {# zatwierdzenie} few {# zatwierdzenia} many {# zatwierdzeń} other {# zatwierdzenia}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# zatwierdzenie} few {# zatwierdzenia} many {# zatwierdzeń} other {# zatwierdzenia}} i {stats}","review.commit.rows.fileCount":"{count, plural, one {# plik} few {Pliki: #} many {Pliki: #} other {Pliki: #}}","review.commit.state.error.body":"Wystąpił problem podczas zatwierdzania. Sprawdź status git i spróbuj ponownie.","review.commit.state.error.title":"Niepowodzenie zatwierdzania","review.commit.state.success.title":"Zatwierdzono zmiany","review.commit.untracked.loadingStats":"Ładowanie statystyki nieśledzonych diffów...","reviewFindingAttachments.count":"{count, plural, one {# ustalenie} few {# ustalenia} many {# ustaleń} other {# ustalenia}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Edytuj konfigurację, aby dostosować działanie agenta","settings.agent.configuration.configToml.docs":"Dokumenty","settings.agent.configuration.configToml.restartNote":"Po zakończeniu edytowania uruchom ponownie Codex, aby zastosować zmiany.","settings.agent.configuration.subtitle":"Te ustawienia obowiązują wszędzie, gdzie używany jest Codex","settings.automations.banner.danger":"Automatyzacje są uruchamiane z domyślnymi ustawieniami piaskownicy, czyli obecnie z pełnym dostępem. Uruchamianie automatyzacji w tle z pełnym dostępem wiąże się z podwyższonym ryzykiem, ponieważ agent Codex może modyfikować pliki, wykonywać komendy i uzyskiwać dostęp do sieci bez pytania o zgodę. Rozważ zmianę ustawień piaskownicy dotyczących zapisu w obszarze roboczym i użycie <rulesDocsLink>reguł</rulesDocsLink> w celu określenia komend, które agent może wykonywać z pełnym dostępem.","settings.automations.banner.defaultHowTo.default":"Automatyzacje są uruchamiane z domyślnymi ustawieniami piaskownicy. Wywołania narzędzi, które wymagają modyfikacji plików poza obszarem roboczym, dostępu do sieci lub współdziałania z aplikacjami na komputerze, zakończą się niepowodzeniem. Przy użyciu <rulesDocsLink>reguł</rulesDocsLink> możesz określić komendy, które można wykonywać poza piaskownicą.","settings.automations.banner.defaultHowTo.readOnly":"Automatyzacje są uruchamiane z domyślnymi ustawieniami piaskownicy, czyli „tylko do odczytu”. Wywołania narzędzi, które wymagają modyfikacji plików poza obszarem roboczym, dostępu do sieci lub współdziałania z aplikacjami na komputerze, zakończą się niepowodzeniem. Rozważ zmianę ustawień piaskownicy dotyczących zapisu w obszarze roboczym.","settings.automations.cancel":"Anuluj","settings.automations.create":"Utwórz","settings.automations.cwdEmpty":"Brak dostępnych folderów projektów","settings.automations.cwdLabel":"Projekty","settings.automations.cwdPlaceholder":"Wybierz folder","settings.automations.cwdSubtitle":"Jeśli automatyzacja ma działać w określonej gałęzi, możesz to określić w poleceniu.","settings.automations.delete":"Usuń","settings.automations.dialog.editTitle":"Edycja automatyzacji","settings.automations.dialog.newTitle":"Nowa automatyzacja","settings.automations.dialog.subtitle":"Zautomatyzuj powtarzające się zadania w tle. Agent Codex dodaje ustalenia do skrzynki odbiorczej lub automatycznie archiwizuje zadanie, jeśli nie ma nic do zgłoszenia. <learnMoreLink>Więcej informacji</learnMoreLink>","settings.automations.dialog.title":"Tworzenie automatyzacji","settings.automations.executionCopy.git":"Automatyzacje działają w tle przy użyciu dedykowanych drzew roboczych.","settings.automations.executionCopy.nonGit":"Automatyzacje w projektach bez kontroli wersji działają bezpośrednio w katalogu projektu. Rozważ użycie oprogramowania Git w celu umożliwienia działania przy użyciu drzew roboczych w tle.","settings.automations.executionEnvironment.local":"Lokalne","settings.automations.executionEnvironment.worktree":"Drzewo robocze","settings.automations.loading":"Ładowanie…","settings.automations.nameLabel":"Nazwa","settings.automations.namePlaceholder":"Sprawdź, czy nie występują problemy związane z monitorowaniem","settings.automations.pause":"Wstrzymaj","settings.automations.promptLabel":"Polecenie","settings.automations.promptPlaceholder":"poszukaj awarii w $Sentry","settings.automations.resume":"Wznów","settings.automations.rruleSummaryFallback":"Harmonogram niestandardowy","settings.automations.runNow":"Test","settings.automations.save":"Zapisz","settings.automations.scheduleBadge.dayCount":"{count} d.","settings.automations.scheduleBadge.interval":"{count} godz.","settings.automations.scheduleBadge.weekdays":"Dni robocze","settings.automations.scheduleBadge.weekends":"Dni robocze","settings.automations.scheduleHeader":"Zaplanuj","settings.automations.scheduleHours":"godz.","settings.automations.scheduleLabel":"Uruchamiaj co","settings.automations.scheduleMode.daily":"Codziennie","settings.automations.scheduleMode.interval":"Interwał","settings.automations.scheduleModeLabel":"Typ harmonogramu","settings.automations.scheduleSummary.daily":"Codziennie o {time}","settings.automations.scheduleSummary.interval":"Co {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dzień} few {# dnia} many {# dnia} other {# dnia}}","settings.automations.scheduleSummary.intervalDays":"{interval}w dniu {days}","settings.automations.scheduleSummary.intervalHourly":"Co godzinę","settings.automations.scheduleSummary.singleDay":"{day} o {time}","settings.automations.scheduleSummary.weekdays":"Dni robocze o {time}","settings.automations.scheduleSummary.weekdaysLabel":"dni robocze","settings.automations.scheduleSummary.weekends":"Weekendy o {time}","settings.automations.scheduleSummary.weekendsLabel":"weekendy","settings.automations.scheduleSummary.weekly":"{days} o {time}","settings.automations.scheduleWeekdays":"Wł.","settings.automations.weekdayState.excluded":"Wykluczone","settings.automations.weekdayState.included":"Włączone","settings.conversationDetail.steps":"Kroki","settings.conversationDetail.steps.description":"Ukryj polecenia i wyniki","settings.conversationDetail.stepsWithCommands":"Kroki z poleceniami dotyczącymi kodu","settings.conversationDetail.stepsWithCommands.description":"Pokaż polecenia, zwiń wyniki","settings.conversationDetail.stepsWithOutput":"Kroki z wynikami dotyczącymi kodu","settings.conversationDetail.stepsWithOutput.description":"Pokaż polecenia i rozwiń wyniki","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Brak zarchiwizowanych czatów.","settings.dataControls.archivedChats.error":"Nie udało się załadować zarchiwizowanych czatów.","settings.dataControls.archivedChats.loading":"Ładowanie zarchiwizowanych czatów...","settings.dataControls.archivedChats.unarchive":"Przywróć z archiwum","settings.dataControls.archivedChats.unarchiveError":"Nie udało się przywrócić czatu z archiwum","settings.dataControls.archivedChats.unarchiveSuccess":"Wątek został przywrócony z archiwum. <viewNowLink>Wyświetl teraz</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Wątek został przywrócony z archiwum.","settings.dataControls.archivedChats.untitled":"Czat bez tytułu","settings.dataControls.archivedChats.viewNow":"Wyświetl teraz","settings.editRow.headerPlaceholder":"Klucz","settings.editRow.removeEntry":"Usuń pozycję","settings.editRow.valuePlaceholder":"Wartość","settings.general.appearance":"Wygląd","settings.general.appearance.codeFont":"Czcionka kodu","settings.general.appearance.codeFont.description":"Dostosuj krój i rozmiar czcionki używanej do wyświetlania kodu w czatach i diffach","settings.general.appearance.codeFontFamily":"Rodzina czcionek kodu","settings.general.appearance.codeFontSize":"Rozmiar czcionki kodu","settings.general.appearance.codeFontSize.units":"pix","settings.general.appearance.opaqueWindows.description":"Okna będą miały jednolite tło zamiast ustawienia przezroczystości systemu","settings.general.appearance.opaqueWindows.label":"Użyj nieprzezroczystego tła okna","settings.general.appearance.sansFontFamily":"Rodzina czcionek bezszeryfowych","settings.general.appearance.sansFontFamily.description":"Dostosuj czcionkę używaną w interfejsie Codex","settings.general.appearance.sansFontSize":"Rozmiar czcionki bezszeryfowej","settings.general.appearance.sansFontSize.units":"pix","settings.general.appearance.sparkCelebrationEffects.description":"Pokaż efekty wiwatów w całym oknie przy pierwszym uruchomieniu modelu GPT-5.3-Codex-Spark","settings.general.appearance.sparkCelebrationEffects.label":"Efekty wiwatów dla Spark","settings.general.appearance.theme":"Motyw","settings.general.appearance.theme.dark":"Ciemny","settings.general.appearance.theme.description":"Użyj jasnego, ciemnego lub dopasuj do systemu","settings.general.appearance.theme.light":"Jasny","settings.general.appearance.theme.system":"Systemowy","settings.general.appearance.usePointerCursors.description":"Zmień kursor na wskaźnik po wskazaniu elementów interaktywnych","settings.general.appearance.usePointerCursors.label":"Użyj kursorów wskaźnika","settings.general.enterBehavior.description":"Gdy to ustawienie jest włączone, wysłanie poleceń składających się z wielu wierszy wymaga kombinacji {modifierSymbol} + klawisz enter.","settings.general.enterBehavior.label":"Wymagaj kombinacji {modifierSymbol} + do wysłania długich poleceń","settings.general.experimentalFeatures":"Funkcje eksperymentalne (beta)","settings.general.experimentalFeatures.empty":"Brak eksperymentalnych funkcji w wersji beta.","settings.general.experimentalFeatures.loading":"Ładowanie funkcji eksperymentalnych...","settings.general.experimentalFeatures.restartNote":"Uruchom ponownie Codex, aby zastosować zmiany funkcji eksperymentalnych","settings.general.experimentalFeatures.toggle":"Przełącz {featureName}","settings.general.followUpQueueMode.description":"Dodaj do kolejki kolejne działania w trakcie działania agenta Codex lub steruj bieżącym uruchomieniem. Naciśnij {invertFollowUpShortcutLabel}, aby wykonać działanie odwrotne dla jednej wiadomości.","settings.general.followUpQueueMode.interrupt":"Kieruj","settings.general.followUpQueueMode.label":"Kolejne działania","settings.general.followUpQueueMode.queue":"Kolejka","settings.general.notifications":"Powiadomienia","settings.general.power.preventSleepWhileRunning.description":"Nie wyłączaj komputera, w czasie gdy Codex wykonuje wątek.","settings.general.power.preventSleepWhileRunning.label":"Zapobiegaj uśpieniu podczas działania","settings.git.branchPrefix.ariaLabel":"Prefiks gałęzi","settings.git.branchPrefix.description":"Prefiks używany przy tworzeniu nowej gałęzi w Codex","settings.git.branchPrefix.label":"Prefiks gałęzi","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Nie udało się zapisać prefiksu gałęzi","settings.git.branchPrefix.save.success":"Zapisano prefiks gałęzi","settings.git.commitInstructions.ariaLabel":"Instrukcje dotyczące zatwierdzenia","settings.git.commitInstructions.description":"Dodano do poleceń generowania opisu zmian dla zatwierdzenia","settings.git.commitInstructions.label":"Instrukcje dotyczące zatwierdzenia","settings.git.commitInstructions.placeholder":"Dodaj wytyczne dotyczące opisu zmian dla zatwierdzenia...","settings.git.commitInstructions.save":"Zapisz","settings.git.commitInstructions.save.error":"Nie udało się zapisać instrukcji dotyczących zatwierdzenia","settings.git.commitInstructions.save.success":"Instrukcje dotyczące zatwierdzenia zostały zapisane","settings.git.forcePush.ariaLabel":"Zawsze wymuszaj wypchnięcie","settings.git.forcePush.description":"Użyj --force-with-lease przy wypychaniu zmian z Codex","settings.git.forcePush.label":"Zawsze wymuszaj wypchnięcie","settings.git.forcePush.save.disabled":"Zawsze wymuszaj wypchnięcie – wyłączono","settings.git.forcePush.save.enabled":"Zawsze wymuszaj wypchnięcie – włączono","settings.git.forcePush.save.error":"Nie udało się zapisać ustawienia wymuszającego wypchnięcie","settings.git.prInstructions.ariaLabel":"Instrukcje dotyczące żądania ściągnięcia","settings.git.prInstructions.description":"Dodane do treści żądań ściągnięcia utworzonych przez agenta Codex","settings.git.prInstructions.label":"Instrukcje dotyczące żądania ściągnięcia","settings.git.prInstructions.placeholder":"Dodaj wytyczne dotyczące żądania ściągnięcia…","settings.git.prInstructions.save":"Zapisz","settings.git.prInstructions.save.error":"Nie udało się zapisać instrukcji dotyczących żądania ściągnięcia","settings.git.prInstructions.save.success":"Instrukcje dotyczące żądania ściągnięcia zostały zapisane","settings.ide.defaultOpenTarget.description":"Tu domyślnie otwierane są pliki i foldery","settings.ide.defaultOpenTarget.label":"Domyślne miejsce otwierania","settings.ide.defaultOpenTarget.placeholder":"Nie znaleziono platform docelowych","settings.ide.language.auto":"Wykryj automatycznie","settings.ide.language.autoOption":"Wykryj automatycznie","settings.ide.language.description":"Język interfejsu aplikacji","settings.ide.language.label":"Język","settings.ide.language.search":"Szukaj języków","settings.layout.actionButton":"Zacznij przedłużanie od nowa","settings.layout.actionTitle":"Ustawienia z działaniem","settings.layout.fullWidthTitle":"Ustawienia (pełna szerokość)","settings.layout.title":"Ustawienia","settings.localEnvironments.actions.add":"Dodaj działanie","settings.localEnvironments.actions.add.description":"Utwórz nowe polecenie uruchamiane z paska narzędzi.","settings.localEnvironments.actions.add.save":"Zapisz","settings.localEnvironments.actions.empty":"Dodaj działanie, aby uruchamiać polecenia z lokalnego paska narzędzi.","settings.localEnvironments.actions.icon.debug":"Debugowanie","settings.localEnvironments.actions.icon.run":"Uruchom","settings.localEnvironments.actions.icon.test":"Testuj","settings.localEnvironments.actions.icon.tool":"Narzędzie","settings.localEnvironments.actions.item.button.delete":"Usuń","settings.localEnvironments.actions.item.command":"Skrypt działania","settings.localEnvironments.actions.item.name":"Nazwa","settings.localEnvironments.actions.item.platforms":"Platformy","settings.localEnvironments.actions.item.platforms.help":"Działa tylko w określonym systemie operacyjnym.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Wybór platformy","settings.localEnvironments.actions.item.platforms.specific":"Dla określonej platformy","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Usuń","settings.localEnvironments.actions.title":"Działania","settings.localEnvironments.breadcrumb.back":"Wstecz","settings.localEnvironments.breadcrumb.edit":"edytuj","settings.localEnvironments.breadcrumb.root":"Środowiska","settings.localEnvironments.environment.actions.description":"Te działania mogą uruchamiać dowolne polecenia i będą wyświetlane w nagłówku.","settings.localEnvironments.environment.actionsLabel":"Działania","settings.localEnvironments.environment.create":"Utwórz środowisko lokalne","settings.localEnvironments.environment.defaultName":"lokalne","settings.localEnvironments.environment.edit":"Edytuj środowisko lokalne","settings.localEnvironments.environment.empty":"Dla tego projektu jeszcze nie skonfigurowano środowiska lokalnego.","settings.localEnvironments.environment.name":"Nazwa","settings.localEnvironments.environment.setup":"Skrypt konfiguracji","settings.localEnvironments.environment.setup.description":"Ten skrypt zostanie uruchomiony przy utworzeniu drzewa roboczego.","settings.localEnvironments.environment.setup.hint":"Działa w katalogu głównym projektu.","settings.localEnvironments.environment.setup.platformOverrides":"Ustawienia nadrzędne platformy","settings.localEnvironments.environment.setup.platformOverrides.add":"Dodaj skrypt konfiguracyjny platformy {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Zastępuje skrypt domyślny dla określonych systemów operacyjnych.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Usuń","settings.localEnvironments.environment.setup.script":"Skrypt","settings.localEnvironments.environment.title":"Dane szczegółowe środowiska","settings.localEnvironments.file.missing":"Zapisz, aby utworzyć ten plik po raz pierwszy.","settings.localEnvironments.file.parseError":"Nie można przeanalizować treści istniejącego pliku. Po zapisaniu zostanie on nadpisany. ({error})","settings.localEnvironments.file.path":"Plik: {path}","settings.localEnvironments.file.readError":"Nie udało się załadować danych środowiska lokalnego. ({error})","settings.localEnvironments.file.title":"Plik środowiska lokalnego","settings.localEnvironments.loading.body":"Pobieranie konfiguracji projektu.","settings.localEnvironments.loading.title":"Ładowanie środowisk lokalnych","settings.localEnvironments.preview.devOnly":"(tylko dla PROGRAMISTÓW)","settings.localEnvironments.preview.save":"Zapisz","settings.localEnvironments.preview.saveError":"Nie udało się zapisać pliku. ({error})","settings.localEnvironments.preview.title":"Podgląd","settings.localEnvironments.save.disabled.name":"Dodaj nazwę środowiska, którą chcesz zapisać.","settings.localEnvironments.save.disabled.noChanges":"Brak zmian do zapisania.","settings.localEnvironments.save.disabled.saving":"Zapisywanie…","settings.localEnvironments.save.success":"Zapisano środowisko lokalne","settings.localEnvironments.unavailable.body":"Nie udało się załadować ustawień środowiska lokalnego dla tego projektu.","settings.localEnvironments.unavailable.title":"Środowiska lokalne niedostępne","settings.localEnvironments.workspace.add":"Dodaj projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Dodaj środowisko","settings.localEnvironments.workspaceSelect.description":"Na podstawie środowisk lokalnych agent Codex konfiguruje drzewa robocze dla projektu. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Nie ma jeszcze projektów. Dodaj projekt, aby skonfigurować środowiska lokalne.","settings.localEnvironments.workspaceSelect.errorLabel":"Środowisko wymaga działania","settings.localEnvironments.workspaceSelect.learnMore":"Więcej informacji","settings.localEnvironments.workspaceSelect.listLabel":"Dostępne projekty","settings.localEnvironments.workspaceSelect.loading":"Ładowanie projektów.","settings.localEnvironments.workspaceSelect.loadingLabel":"Ładowanie środowiska","settings.localEnvironments.workspaceSelect.title":"Wybierz projekt","settings.localEnvironments.workspaceSelect.viewAction":"Wyświetl","settings.mcp.addServer":"Dodaj serwer","settings.mcp.app.configure":"Skonfiguruj","settings.mcp.app.connect":"Połącz","settings.mcp.apps.refresh":"Odśwież","settings.mcp.detail.addArgument":"Dodaj argument","settings.mcp.detail.addEnvVar":"Dodaj zmienną środowiskową","settings.mcp.detail.addEnvVarPassthrough":"Dodaj zmienną","settings.mcp.detail.args":"Argumenty","settings.mcp.detail.back":"Wstecz","settings.mcp.detail.command":"Polecenie do uruchomienia","settings.mcp.detail.cwd":"Katalog roboczy","settings.mcp.detail.docs":"Otwórz dokumentację MCP","settings.mcp.detail.docs.link":"Dokumenty","settings.mcp.detail.envVarPassthrough":"Klucz dostępu zmiennej środowiskowej","settings.mcp.detail.envVars":"Zmienne środowiska","settings.mcp.detail.http.addEnvHeader":"Dodaj zmienną","settings.mcp.detail.http.addHeader":"Dodaj nagłówek","settings.mcp.detail.http.bearerToken":"Zmienna środowiskowa: token okaziciela","settings.mcp.detail.http.envHeaders":"Nagłówki ze zmiennych środowiskowych","settings.mcp.detail.http.headers":"Nagłówki","settings.mcp.detail.http.url":"Adres URL","settings.mcp.detail.name":"Nazwa","settings.mcp.detail.save":"Zapisz","settings.mcp.detail.switchTransportNotice":"Jeśli chcesz przełączyć typ serwera MCP, najpierw go odinstaluj.","settings.mcp.detail.titleExisting":"Zaktualizuj MCP {name}","settings.mcp.detail.titleNew":"Połącz z niestandardowym MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Odinstaluj","settings.mcp.empty":"Nie podłączono niestandardowych serwerów MCP","settings.mcp.myServers":"Serwery niestandardowe","settings.mcp.partnerServer.description.figma":"Generuj lepszy kod, wprowadzając pełny kontekst Figma","settings.mcp.partnerServer.description.github":"Skonfiguruj integrację z API GitHub, aby automatyzować procesy i wyodrębniać dane","settings.mcp.partnerServer.description.linear":"Zintegruj z mechanizmami śledzenia problemów i zarządzania projektami w Linear","settings.mcp.partnerServer.description.notion":"Czytaj dokumenty, aktualizuj strony, zarządzaj zadaniami","settings.mcp.partnerServer.description.playwright":"Zintegruj automatyzację przeglądarki, aby zaimplementować projekt i przetestować interfejs użytkownika.","settings.mcp.partnerServer.install":"Zainstaluj","settings.mcp.partnerServer.installAndAuthenticate":"Zainstaluj i uwierzytelnij","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Zarządzaj","settings.mcp.partnerServer.vendor":"Autor: {vendor}","settings.mcp.recommendedServers":"Zalecane serwery","settings.mcp.restartApp":"Uruchom ponownie","settings.mcp.restartExtension":"Zacznij przedłużanie od nowa","settings.mcp.server.enable":"Włącz","settings.mcp.server.login":"Uwierzytelnij","settings.mcp.server.settings":"Ustawienia","settings.multiselect.createOption":"Utwórz „{value}”","settings.multiselect.removeOption":"Usuń","settings.nav.account":"Konto","settings.nav.agent":"Konfiguracja","settings.nav.ariaLabel":"Ustawienia","settings.nav.back":"Powrót do aplikacji","settings.nav.data-controls":"Zarchiwizowane wątki","settings.nav.environments":"Środowiska chmurowe","settings.nav.externalTooltip":"[alfa] Otwierane w przeglądarce","settings.nav.general-settings":"Ogólne","settings.nav.git-settings":"Git","settings.nav.local-environments":"Środowiska","settings.nav.mcp-settings":"Serwery MCP","settings.nav.notImplemented":"[alfa] Funkcja niedostępne w wersji alfa","settings.nav.personalization":"Personalizacja","settings.nav.skills-settings":"Umiejętności","settings.nav.usage-analytics":"Użycie i analityka","settings.nav.worktrees":"Drzewa robocze","settings.openSourceLicenses.back":"Wstecz","settings.openSourceLicenses.loading":"Ładowanie…","settings.openSourceLicenses.missing":"Nie znaleziono informacji od innych firm.","settings.openSourceLicenses.notSupported":"Jeszcze niedostępne na tym hoście.","settings.openSourceLicenses.rowDescription":"Informacje innych firm dotyczące dołączonych zależności","settings.openSourceLicenses.rowLabel":"Licencje typu open source","settings.openSourceLicenses.subtitle":"Informacje innych firm dla zależności w tej aplikacji","settings.openSourceLicenses.title":"Licencje typu open source","settings.openSourceLicenses.view":"Wyświetl","settings.personalization.agents.description":"Edytuj instrukcje, aby dostosować Codex do siebie. {learnMore}","settings.personalization.agents.learnMore":"Więcej informacji","settings.personalization.agents.loadError":"Nie można załadować pliku agents.md.","settings.personalization.agents.loading":"Ładowanie pliku agents.md…","settings.personalization.agents.placeholder":"Dodaj instrukcje niestandardowe...","settings.personalization.agents.retry":"Ponów próbę","settings.personalization.agents.save":"Zapisz","settings.personalization.agents.save.error":"Nie można zapisać pliku agents.md","settings.personalization.agents.save.success":"Zapisano plik agents.md","settings.personalization.agents.title":"Instrukcje niestandardowe","settings.personalization.personality.description":"Wybierz domyślny ton dla odpowiedzi agenta Codex","settings.personalization.personality.label":"Osobowość","settings.sample.contentBody":"Użyj tego układu, aby przygotować własne panele ustawień z jednolitymi odstępami.","settings.sample.contentTitle":"Przykładowy blok treści","settings.section.account":"Konto","settings.section.agent":"Konfiguracja","settings.section.data-controls":"Zarchiwizowane wątki","settings.section.environments":"Środowiska chmurowe","settings.section.external":"Otwiera się w przeglądarce w wersji Alpha","settings.section.general-settings":"Ogólne","settings.section.git-settings":"Git","settings.section.local-environments":"Środowiska","settings.section.mcp-settings":"Serwery MCP","settings.section.mcp-settings.docs":"Dokumenty","settings.section.mcp-settings.subtitle":"Podłącz zewnętrzne narzędzia i źródła danych.","settings.section.personalization":"Personalizacja","settings.section.skills-settings":"Umiejętności","settings.section.unavailable":"Jeszcze niedostępne w wersji Alpha","settings.section.usage-analytics":"Użycie i analityka","settings.section.worktrees":"Drzewa robocze","settings.threadDetail.description":"Wybierz, jaka część wyników z poleceń ma być widoczna w wątkach","settings.threadDetail.label":"Szczegóły na temat wątku","settings.worktrees.conversation.untitled":"Konwersacja bez tytułu","settings.worktrees.delete.error":"Nie udało się usunąć drzewa roboczego","settings.worktrees.empty.body":"Tutaj będą się pojawiały drzewa robocze tworzone przez Codex.","settings.worktrees.empty.title":"Nie ma jeszcze drzew roboczych","settings.worktrees.error.body":"Coś poszło nie tak podczas ładowania drzew roboczych.","settings.worktrees.error.retry":"Ponów próbę","settings.worktrees.error.title":"Nie można załadować drzew roboczych","settings.worktrees.loading.body":"Szczegóły pobierania drzew roboczych.","settings.worktrees.loading.title":"Ładowanie drzew roboczych","settings.worktrees.repository.loading":"Ładowanie metadanych repozytorium...","settings.worktrees.repository.unknown":"Nieznane repozytorium","settings.worktrees.row.conversations":"Konwersacje","settings.worktrees.row.conversations.empty":"Brak konwersacji powiązanych z tym drzewem roboczym.","settings.worktrees.row.conversations.loading":"Ładowanie konwersacji…","settings.worktrees.row.delete":"Usuń","settings.worktrees.row.title":"Drzewo robocze","sidebarElectron.addWorkspaceRoot":"Dodaj nowy projekt","sidebarElectron.archiveThread":"Archiwizuj wątek","sidebarElectron.archiveThreadError":"Nie udało się zarchiwizować wątku","sidebarElectron.collapseFolder":"Zwiń folder","sidebarElectron.createStableWorktree.dialog.cancel":"Anuluj","sidebarElectron.createStableWorktree.dialog.create":"Utwórz","sidebarElectron.debugNavLink":"Debugowanie","sidebarElectron.editWorkspaceRootOptionName":"Edytuj nazwę","sidebarElectron.expandFolder":"Rozwiń folder","sidebarElectron.groupByMenu.recency":"Lista chronologiczna","sidebarElectron.groupByMenu.title":"Organizuj","sidebarElectron.groupByMenu.workspace":"Według projektu","sidebarElectron.inboxRouteNavLink":"Automatyzacje","sidebarElectron.markThreadUnread":"Oznacz jako nieprzeczytany","sidebarElectron.missingWorkspaceRoot":"Ten folder projektu został usunięty lub przeniesiony","sidebarElectron.newThread":"Nowy wątek","sidebarElectron.newThreadInGroup":"Rozpocznij nowy wątek w {folder}","sidebarElectron.noRecentThreads":"Brak ostatnich wątków","sidebarElectron.noTasks":"Brak wątków","sidebarElectron.noTasks.start":"Dodaj nowy projekt","sidebarElectron.noTasksWithFilter":"Brak wątków pasujących do filtrów","sidebarElectron.pinnedThreads":"Przypięte wątki","sidebarElectron.recentNavLink":"Wątki","sidebarElectron.recentThreads":"Ostatnie wątki","sidebarElectron.removeWorkspaceRootOption":"Usuń","sidebarElectron.renameThread":"Zmień nazwę wątku","sidebarElectron.renameThreadDialogAriaLabel":"Tytuł wątku","sidebarElectron.renameThreadDialogCancel":"Anuluj","sidebarElectron.renameThreadDialogPlaceholder":"Dodaj tytuł...","sidebarElectron.renameThreadDialogSave":"Zapisz","sidebarElectron.renameThreadDialogSubtitle":"Powinien być krótki i charakterystyczny.","sidebarElectron.renameThreadDialogTitle":"Zmień nazwę wątku","sidebarElectron.renameThreadError":"Nie udało się zmienić nazwy wątku","sidebarElectron.renameWorkspaceRootOptionLabel":"Wyświetlana nazwa","sidebarElectron.showLess":"Pokaż mniej","sidebarElectron.showMenu.all":"Wszystkie wątki","sidebarElectron.showMenu.relevant":"Istotne","sidebarElectron.showMenu.relevantHint":"Wyświetlaj tylko ostatnie wątki dla bieżącej gałęzi, drzew roboczych lub innych wątków, które wymagają Twojej uwagi","sidebarElectron.showMenu.title":"Pokaż","sidebarElectron.showMenu.tooltip":"Filtrowanie, sortowanie i organizowanie wątków","sidebarElectron.showMenu.trigger":"Filtruj wątki na pasku bocznym","sidebarElectron.showMore":"Pokaż więcej","sidebarElectron.skillsRouteNavLink":"Umiejętności","sidebarElectron.sortMenu.created":"Utworzono","sidebarElectron.sortMenu.title":"Sortuj wg","sidebarElectron.sortMenu.updated":"Zaktualizowano","sidebarElectron.taskNavigation":"Foldery automatyzacji","sidebarElectron.tasksInFolder":"Automatyzacje w folderze {folder}","sidebarElectron.workspaceOptions":"Działania projektu dot.: {folder}","sidebarElectron.worktreeGroupTooltip":"To jest drzewo robocze gita","skills.appsPage.createSkill":"Nowa umiejętność","skills.appsPage.empty.skills":"Nie znaleziono umiejętności","skills.appsPage.search.skills":"Szukaj umiejętności","skills.appsPage.search.skills.label":"Szukaj umiejętności","skills.appsPage.section.installedApps":"Zainstalowano","skills.appsPage.section.skills":"Umiejętności","skills.appsPage.subheading":"Daj Codex supermoce. <link>Więcej informacji</link>","skills.appsPage.tab.recommended":"Zalecane","skills.appsPage.tab.skills":"Umiejętności","skills.card.contentsError":"Nie można załadować treści umiejętności.","skills.card.disable":"Wyłącz","skills.card.disableSuccess":"Umiejętność {skillName} została wyłączona","skills.card.disabledBadge":"Wyłączone","skills.card.enable":"Włącz","skills.card.enableSuccess":"Umiejętność {skillName} została włączona","skills.card.loadingContents":"Ładowanie treści umiejętności...","skills.card.more":"Więcej działań","skills.card.open":"Otwórz","skills.card.removeFailed":"Nie udało się odinstalować umiejętności","skills.card.removeSuccess":"Umiejętność {skillName} została odinstalowana","skills.card.toggleEnabledError":"Nie udało się zaktualizować umiejętności","skills.card.try":"Wypróbuj","skills.card.trySkill":"Wypróbuj umiejętność","skills.card.uninstall":"Odinstaluj","skills.hero.dotLabel":"Przejdź do slajdu {index}","skills.hero.next":"Następna proponowana umiejętność","skills.hero.trySkill":"Wypróbuj umiejętność","skills.page.createSkill":"Nowa umiejętność","skills.page.empty":"Nie znaleziono umiejętności","skills.page.filteredEmpty":"Brak umiejętności pasujących do filtrów","skills.page.filteredEmptyDescription":"Spróbuj zmienić filtry wyszukiwania lub zakresu","skills.page.heading":"Umiejętności","skills.page.loading":"Ładowanie umiejętności...","skills.page.refreshSkills":"Odśwież","skills.page.refreshSkillsToUseNew":"Odśwież, aby zacząć używać nowych umiejętności","skills.page.search":"Szukaj umiejętności","skills.page.search.label":"Szukaj umiejętności","skills.page.subheading":"Daj Codex supermoce. <link>Więcej informacji</link>","skills.preview.copyPrompt":"Skopiuj polecenie","skills.preview.examplePrompt":"Przykładowe polecenie","skills.recommended.error":"Nie można załadować zalecanych umiejętności","skills.recommended.install":"Zainstaluj","skills.recommended.installSkill":"Zainstaluj umiejętność","skills.recommended.installSuccess":"Umiejętność {skillName} została zainstalowana","skills.recommended.installed":"Zainstalowano","skills.scope.admin":"Administrator","skills.scope.adminInstalled":"Zainstalowane przez administratora","skills.scope.builtIn":"Systemowy","skills.scope.personal":"Osobiste","skills.scope.repo":"Repozytorium","skills.scope.system":"Systemowy","skills.scope.team":"Team","skills.scope.user":"Użytkownik","skills.section.installed":"Zainstalowano","skills.section.recommended":"Zalecane","story.slidingToggle.existing":"Istniejąca","story.slidingToggle.fromLocal":"Z lokalnego repozytorium","story.slidingToggle.new":"Nowość","story.slidingToggle.toLocal":"Do lokalnego repozytorium","terminal.close":"Zamknij terminal","terminal.title":"Terminal","thinkingShimmer.default":"Myśli","threadEnvIcon.cloudTooltip":"Ta konwersacja działa w lokalnej chmurze Codex.","threadEnvIcon.localTooltip":"Ta konwersacja działa lokalnie.","threadEnvIcon.worktreeTooltip":"Ta konwersacja działa w lokalnym drzewie roboczym gita.","threadHeader.archiveConfirmCancel":"Anuluj","threadHeader.archiveConfirmConfirm":"Archiwizuj","threadHeader.archiveConfirmSubtitle":"Możesz znaleźć go później w zarchiwizowanych wątkach.","threadHeader.archiveConfirmTitle":"Czy zarchiwizować wątek?","threadHeader.copyAppLink":"Kopiuj głęboki link","threadHeader.copySessionId":"Kopiuj identyfikator sesji","threadHeader.copyWorkingDirectory":"Kopiuj katalog roboczy","threadHeader.forkIntoLocal":"Rozwidl w lokalny","threadHeader.forkIntoWorktree":"Rozwidl w nowe drzewo robocze","threadHeader.forkPendingWorktreePrompt":"Rozwidl tę konwersację w nowe drzewo robocze.","threadHeader.forkPendingWorktreeTitle":"Rozwidlona konwersacja","threadHeader.forkThreadError":"Nie udało się rozwidlić wątku","threadHeader.forkThreadRequiresGitRepo":"Rozwidlenie w nowe drzewo robocze wymaga repozytorium git","threadHeader.moreActions":"Działania dotyczące wątku","threadPage.newThread":"Nowy wątek","threadPage.runAction.changeEnvironment":"Zmień środowisko","threadPage.runAction.dropdown.titleWithEnvironment":"Działania dla środowiska {environmentName}","threadPage.runAction.environmentSelector.label":"Wybierz środowisko","threadPage.runAction.label":"Uruchom","threadPage.runAction.missing.label":"Skonfiguruj działanie uruchomienia","threadPage.runAction.setup.commandLabel":"Polecenie do uruchomienia","threadPage.runAction.setup.description":"Powiedz, jak Codex ma instalować zależności i uruchamiać aplikację.","threadPage.runAction.setup.editMore":"Ustawienia środowiska","threadPage.runAction.setup.placeholder":"np: npm install npm run","threadPage.runAction.setup.submit":"Zapisz i uruchom","threadPage.runAction.setup.title":"Uruchom","threadPage.runAction.tooltip.withEnvironment":"Działania dla środowiska {environmentName}","threadPage.toggleDiffPanel":"Przełącz panel diffa","threadPage.toggleTerminal":"Przełącz terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Otwórz folder","toolSummaryForCmd.exploredFiles":"<verb>Wymieniono</verb> pliki","toolSummaryForCmd.exploredFilesInPath":"<verb>Wymieniono</verb> pliki w {path}","toolSummaryForCmd.exploringFiles":"<verb>Wymienianie</verb> plików","toolSummaryForCmd.exploringFilesInPath":"<verb>Wymienianie</verb> plików w {path}","toolSummaryForCmd.ranGenericCommand":"<status>Komenda została wykonana</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Wykonana komenda</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Przeczytaj</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Wykonywanie komendy</status>{timer}","toolSummaryForCmd.runningTimer":"dla {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Wyszukiwano</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Wyszukiwano</verb> pliki","toolSummaryForCmd.searchedForInPath":"<verb>Wyszukiwano </verb> {query} w {path}","toolSummaryForCmd.searchingFor":"<verb>Wyszukiwanie</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Wyszukiwanie</verb> plików","toolSummaryForCmd.searchingForInPath":"<verb>Wyszukiwanie</verb> {query} w {path}","traceRecording.details.noteLabel":"Jakie czynności były wykonywane, gdy to się stało? (opcjonalnie)","traceRecording.details.notePlaceholder":"Przejście do dużego wątku, a następnie wielokrotne przełączanie kart…","traceRecording.details.submit":"Wyślij ślad","traceRecording.details.subtitle":"Możemy wysłać ten ślad profilu, aby pomóc w diagnozowaniu problemów związanych z działaniem.","traceRecording.details.title":"Czy wysłać ślad profilu?","traceRecording.progress.subtitle":"Nie zamykaj Codex do chwili ukończenia tego działania.","traceRecording.saving.title":"Zapisywanie śladu...","traceRecording.startDetails.cancel":"Anuluj","traceRecording.startDetails.submit":"OK, zacznij rejestrować","traceRecording.startDetails.subtitle":"Po kliknięciu przycisku OK odtwórz problem z działaniem, a następnie kliknij przestawny czerwony wskaźnik, aby zatrzymać rejestrowanie i przejrzeć ślad.","traceRecording.startDetails.title":"Jak działa rejestrowanie śladu","traceRecording.stopButton.ariaLabel":"Zatrzymaj rejestrowanie śladu","traceRecording.upload.successToast":"Ślad profilu został wysłany.","traceRecording.uploading.title":"Przesyłanie śladu…","wham.diff.addComment":"Dodaj komentarz","wham.diff.binaryFile":"Nie pokazano pliku binarnego","wham.diff.noContent":"Brak treści","wham.fileTag.deleted":"Usunięto","wham.fileTag.new":"Nowość","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d.","wham.formattedRelativeDateTime.compactHoursAgo":"{value} godz.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mies.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} tyg.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} lat(a)","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Pracuję nad Twoim zadaniem","wham.whamProposedTask.title":"Sugerowane zadanie","wham.whamProposedTask.useSuggestion":"Użyj sugestii","workspaceRootDialog.addError":"Nie udało się dodać projektu","workspaceRootDialog.cancel":"Anuluj","workspaceRootDialog.confirmAdd":"Dodaj projekt","workspaceRootDialog.confirmPick":"Użyj projektu","workspaceRootDialog.description":"Wprowadź ścieżkę w {host} do użycia w charakterze projektu.","workspaceRootDialog.pathLabel":"Ścieżka do projektu","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Dodaj ścieżkę do projektu","workspaceRootDialog.title.pick":"Wybierz ścieżkę do projektu","worktreeInitV2.cancel":"Anuluj","worktreeInitV2.notification.failedTitle":"Nie udało się skonfigurować drzewa roboczego","worktreeInitV2.output.empty":"Oczekiwanie na dane wyjściowe...","worktreeInitV2.status.error":"Konfiguracja drzewa roboczego nie powiodła się.","worktreeInitV2.status.running":"Tworzenie drzewa roboczego i uruchamianie konfiguracji.","worktreeInitV2.status.runningFork":"Tworzenie drzewa roboczego w celu rozwidlenia tej konwersacji.","worktreeInitV2.status.success":"Drzewo robocze jest gotowe.","worktreeInitV2.title":"Tworzenie drzewa roboczego","worktreeInitV2.workLocallyInstead":"Zamiast tego pracuj lokalnie","worktreeRestoreBanner.body":"Drzewo robocze tego wątku zostało usunięte w celu zwolnienia miejsca na dysku","worktreeRestoreBanner.missing.body":"Katalog roboczy tego wątku już nie istnieje","worktreeRestoreBanner.missing.title":"Brak bieżącego katalogu roboczego","worktreeRestoreBanner.restore.error":"Nie udało się przywrócić drzewa roboczego: {message}","worktreeRestoreBanner.restore.success":"Drzewo robocze zostało przywrócone","worktreeRestoreBanner.restoreCta":"Przywróć drzewo robocze","worktreeRestoreBanner.title":"Drzewo robocze zostało oczyszczone"};Object.assign(e,globalThis.codexI18nOverrides?.["pl-PL"]);export{e as default};
 //# sourceMappingURL=pl-PL-CtE-F-Si.js.map
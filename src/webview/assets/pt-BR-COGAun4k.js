@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Copiar","app.sidebar.hide":"Ocultar barra lateral","app.sidebar.show":"Exibir barra lateral","app.sidebar.tooltip":"Alternar barra lateral","appHeader.installUpdate":"Atualizar","appSunset.body":"Esta versão do aplicativo não é mais compatível. Baixe a versão mais recente <here>aqui</here>.","appSunset.title":"Atualização necessária","automation.updateDirective.create":"Criar","automation.updateDirective.open":"Abrir","automation.updateDirective.untitled":"Automação sem título","automation.updateDirective.update":"Atualizar","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# tentativa} many {# tentativas} other {# tentativas}}","cloudTaskRow.archiveError":"Falha ao arquivar tarefa","code.diff.requestChange":"Solicitar alteração","code.diffComment.cancel":"Cancelar","code.diffComment.comment":"Comentário","code.diffComment.delete":"Excluir","code.diffComment.save":"Salvar","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nenhum achado identificado.","codex.alert.closeAriaLabel":"Fechar","codex.appUpsellBanner.cbpApi.message":"Crie mais rápido com o aplicativo Codex. Baixe agora ou {learnMoreLink}.","codex.appUpsellBanner.download":"Baixar","codex.appUpsellBanner.freeGo.message":"O Codex está incluído no seu plano até 2 de março. Experimente o aplicativo Codex para desenvolver mais rápido.","codex.appUpsellBanner.later":"Mais tarde","codex.appUpsellBanner.learnMoreLowercase":"saiba mais","codex.appUpsellBanner.new":"Novas","codex.appUpsellBanner.proPlusBusiness.message":"Experimente o aplicativo Codex com limite de uso dobrado até 2 de abril. Baixe agora ou {learnMoreLink}.","codex.appUpsellBanner.title":"Aplicativo Codex","codex.applyDropdown.header.changes":"Alterações","codex.applyDropdown.header.fileCount":"{count, plural, one {# arquivo} many {# arquivos} other {# arquivos}}","codex.applyDropdown.header.rows":"linhas","codex.applyDropdown.header.title":"Aplicar alterações","codex.applyDropdown.header.workspace":"Projeto","codex.applyDropdown.results.conflicted":"{count, plural, one {1 arquivo com conflito:} many {{count} arquivos com conflito:} other {{count} arquivos com conflito:}}","codex.applyDropdown.results.empty":"Nenhum arquivo foi copiado","codex.applyDropdown.results.skipped":"{count, plural, one {1 arquivo pulado:} many {{count} arquivos pulados:} other {{count} arquivos pulados:}}","codex.applyOrRevertBanner.apply":"Aplicar","codex.applyOrRevertBanner.applyMessage":"Aplicar as alterações e continuar localmente?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"A tarefa foi criada no {environment}, portanto, pode não ser aplicada corretamente.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Alterações feitas no {environment}. Podem não ser aplicadas corretamente.","codex.applyOrRevertBanner.reapply":"Reaplicar","codex.applyOrRevertBanner.revert":"Reverter","codex.applyOrRevertBanner.revertMessage":"Reverter alterações aplicadas?","codex.applyResultsDialog.applied":"Aplicadas corretamente ({count})","codex.applyResultsDialog.close":"Fechar","codex.applyResultsDialog.conflicted":"Em conflito ({count})","codex.applyResultsDialog.noDetails":"Nenhum detalhe do arquivo disponível.","codex.applyResultsDialog.skipped":"Ignorou ({count})","codex.applyResultsDialog.title":"Aplicar resultados","codex.archiveInfo":"Exibir chats arquivados em {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Controles de dados","codex.archiveInfo.electron":"Exibir chats arquivados em {settingsLink}.","codex.archiveInfo.extension":"Exibir chats arquivados na sua pasta .codex.","codex.archiveInfo.settingsLink":"Configurações","codex.banner.content.description":"Execute tarefas em paralelo, acompanhe o andamento de qualquer lugar e revise PRs com ajuda da IA.","codex.banner.content.headline":"O Codex cuida de tudo.","codex.cloudTaskRow.archiveTask":"Arquivar tarefa","codex.cloudTaskRow.confirmArchiveTask":"Confirmar","codex.command.feedback":"Feedback","codex.command.findInThread":"Localizar","codex.command.forceReloadSkills":"Forçar recarregamento de habilidades","codex.command.logOut":"Sair","codex.command.manageTasks":"Gerenciar tarefas","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Anterior","codex.command.navigateForward":"Avançar","codex.command.newThread":"Novo tópico","codex.command.nextThread":"Próximo tópico","codex.command.openFolder":"Abrir pasta","codex.command.openSkills":"Ir para habilidades","codex.command.openThreadOverlay":"Abrir tópico em outra janela","codex.command.personalitySettings":"Personalidade","codex.command.previousThread":"Tópico anterior","codex.command.settings":"Configurações","codex.command.toggleDiffPanel":"Alternar painel de diff","codex.command.toggleSidebar":"Alternar barra lateral","codex.command.toggleTerminal":"Alternar terminal","codex.commandGroup.app":"Aplicativo","codex.commandGroup.configure":"Configurar","codex.commandGroup.navigation":"Navegação","codex.commandGroup.panels":"Painéis","codex.commandGroup.skills":"Habilidades","codex.commandGroup.thread":"Tópico","codex.commandGroup.workspace":"Projeto","codex.commandMenu.noResults":"Nenhuma correspondência","codex.commandMenu.searchPlaceholder":"Comandos de busca","codex.commandMenu.suggestedGroup":"Sugestões","codex.commandMenu.switchWorkspace":"Alternar projeto","codex.commandMenu.title":"Menu de comandos","codex.common.retry":"Repetir","codex.composer.searchBranches":"Buscar branches","codex.dialog.basic.body":"Este é um modal simples usando nosso empacotador baseado no Radix Dialog.","codex.dialog.basic.cancel":"Cancelar","codex.dialog.basic.confirm":"Confirmar","codex.dialog.basic.open":"Abrir modal","codex.dialog.basic.title":"Modal de exemplo","codex.dialog.long.close":"Fechar","codex.dialog.long.line":"Linha rolável {index} para demonstrar conteúdo longo dentro do modal.","codex.dialog.long.open":"Abrir modal longo","codex.dialog.long.title":"Modal de conteúdo longo","codex.dialog.unstyled.body":"Esta história mostra como quem chama pode controlar totalmente o estilo do conteúdo do diálogo.","codex.dialog.unstyled.open":"Abrir diálogo sem estilo","codex.dialog.unstyled.title":"Conteúdo sem estilo","codex.diff.openInEditorPrompt.openButton":"Abrir no editor","codex.diff.openInEditorPrompt.singleLine":"Este arquivo é grande demais para exibir aqui.","codex.diffView.failedToDecodeBase64Diff":"Erro ao decodificar diff em base64","codex.diffView.filesChanged":"{fileCount, plural, one {# arquivo modificado} many {# arquivos modificados} other {# arquivos modificados}}","codex.diffView.imagePreviewAlt":"Prévia da imagem","codex.diffView.imagePreviewEmpty":"Nenhuma imagem","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nenhum dado de diff","codex.diffView.pdfPreview.nextPage":"Próxima página","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Página anterior","codex.diffView.pdfPreviewEmpty":"Sem prévia de PDF","codex.diffView.pdfPreviewError":"Não foi possível renderizar a prévia do PDF","codex.diffView.richPreviewDisable":"Desabilitar prévia detalhada","codex.diffView.richPreviewEnable":"Habilitar prévia detalhada","codex.diffView.richPreviewLoading":"Carregando prévia…","codex.diffView.richPreviewToggle":"Alternar prévia detalhada","codex.diffView.switchToUnified":"Mudar para diff unificado","codex.environmentSelector.noEnvironment":"Nenhum ambiente","codex.environments.environmentSettings":"Configurações do ambiente","codex.environments.learnMore":"Saiba mais","codex.environments.listError":"Falha ao carregar ambientes.","codex.environments.noEnvironmentsFound":"Nenhum ambiente encontrado","codex.environments.searchError":"Falha ao buscar ambientes.","codex.errorBoundary.genericError":"Ops, ocorreu um erro","codex.errorBoundary.goHome":"Tentar de novo","codex.file.patch.missing":"Não foi possível gerar o patch para este arquivo.","codex.gallery.automations.cwdLabel":"Projetos","codex.gallery.automations.nameLabel":"Nome","codex.gallery.automations.namePlaceholder":"Resuma uma tarefa","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Descreva o que o Codex deve fazer","codex.gallery.dialogs.automation.label":"Diálogo de automação","codex.gallery.dialogs.basic.body":"Use esta disposição para confirmações simples ou formulários curtos.","codex.gallery.dialogs.basic.cancel":"Cancelar","codex.gallery.dialogs.basic.confirm":"Confirmar","codex.gallery.dialogs.basic.label":"Diálogo básico","codex.gallery.dialogs.basic.title":"Diálogo de exemplo","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Descreva o problema","codex.gallery.dialogs.feedbackSubmission.bad":"Resultado ruim","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Resultado bom","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inclua registros da sessão atual do Codex","codex.gallery.dialogs.feedbackSubmission.label":"Envio de feedback","codex.gallery.dialogs.feedbackSubmission.other":"Outro","codex.gallery.dialogs.feedbackSubmission.placeholder":"Descreva o problema aqui","codex.gallery.dialogs.feedbackSubmission.submit":"Enviar","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback enviado. Se o problema persistir, abra um problema no GitHub ou mencione o ID do tópico em um problema já existente:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Dispensar","codex.gallery.dialogs.feedbackSuccess.label":"Sucesso do feedback","codex.gallery.dialogs.feedbackSuccess.title":"Feedback carregado","codex.gallery.dialogs.gitApplyResults.applied":"Aplicações corretas (2)","codex.gallery.dialogs.gitApplyResults.close":"Fechar","codex.gallery.dialogs.gitApplyResults.conflicted":"Em conflito (1)","codex.gallery.dialogs.gitApplyResults.label":"Aplicar resultados","codex.gallery.dialogs.gitApplyResults.title":"Aplicar resultados","codex.gallery.dialogs.gitPushError.body":"Faça pull das alterações mais recentes ou efetue um push forçado se tiver certeza que é seguro sobrescrever o histórico remoto.","codex.gallery.dialogs.gitPushError.cancel":"Cancelar","codex.gallery.dialogs.gitPushError.force":"Push forçado","codex.gallery.dialogs.gitPushError.label":"Erro de push","codex.gallery.dialogs.gitPushError.subtitle":"Seu branch está atrás de origin/main.","codex.gallery.dialogs.gitPushError.title":"Falha ao efetuar push das alterações","codex.gallery.dialogs.gitRevert.cancel":"Cancelar","codex.gallery.dialogs.gitRevert.confirm":"Reverter","codex.gallery.dialogs.gitRevert.label":"Reverter alterações","codex.gallery.dialogs.gitRevert.skip":"Não perguntar novamente","codex.gallery.dialogs.gitRevert.subtitle":"Esta ação remove todas as alterações.","codex.gallery.dialogs.gitRevert.title":"Reverter alterações?","codex.gallery.dialogs.longForm.label":"Diálogo em formato longo","codex.gallery.dialogs.proseModal.body":"Este estilo de modal é usado para instruções mais longas, integração ou blocos de conteúdo avançados.","codex.gallery.dialogs.proseModal.close":"Fechar","codex.gallery.dialogs.proseModal.subtitle":"Compartilhe aqui orientações ou documentações mais longas.","codex.gallery.dialogs.proseModal.title":"Modal de prosa","codex.gallery.dialogs.submitBlocked.label":"Envio bloqueado","codex.gallery.dialogs.submitBlocked.message":"Sua mensagem não pôde ser enviada porque o projeto está indisponível.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Não foi possível enviar a mensagem","codex.gallery.dialogs.title":"Diálogos","codex.gallery.dropdown.filterPlaceholder":"Filtrar itens","codex.gallery.dropdowns.actionRow":"Linhas de ação","codex.gallery.dropdowns.actionRow.disabled":"Ação desabilitada","codex.gallery.dropdowns.actionRow.primary":"Ação primária","codex.gallery.dropdowns.actionRow.secondary":"Ação secundária","codex.gallery.dropdowns.actionRow.trigger":"Exibir ações","codex.gallery.dropdowns.basic":"Menu suspenso básico","codex.gallery.dropdowns.basic.newFile":"Novo arquivo","codex.gallery.dropdowns.basic.newFolder":"Nova pasta","codex.gallery.dropdowns.basic.openSettings":"Abrir configurações","codex.gallery.dropdowns.basic.title":"Ações rápidas","codex.gallery.dropdowns.basic.trigger":"Abrir menu","codex.gallery.dropdowns.basic.upload":"Carregar","codex.gallery.dropdowns.panel":"Superfície do painel","codex.gallery.dropdowns.panel.apply":"Aplicar","codex.gallery.dropdowns.panel.body":"Revisar diffs e aplicar no seu projeto.","codex.gallery.dropdowns.panel.preview":"Prévia","codex.gallery.dropdowns.panel.title":"Aplicar alterações","codex.gallery.dropdowns.panel.trigger":"Abrir painel","codex.gallery.dropdowns.search":"Menu suspenso pesquisável","codex.gallery.dropdowns.search.first":"Canal alfa","codex.gallery.dropdowns.search.second":"Branch beta","codex.gallery.dropdowns.search.third":"Candidato a lançamento","codex.gallery.dropdowns.search.trigger":"Filtrar itens","codex.gallery.dropdowns.submenu":"Menu suspenso com submenu","codex.gallery.dropdowns.submenu.optionA":"Projeto alfa","codex.gallery.dropdowns.submenu.optionB":"Projeto beta","codex.gallery.dropdowns.submenu.optionC":"Projeto gama","codex.gallery.dropdowns.submenu.primary":"Atribuir proprietário","codex.gallery.dropdowns.submenu.secondary":"Mover para","codex.gallery.dropdowns.submenu.tertiary":"Arquivar","codex.gallery.dropdowns.submenu.trigger":"Escolher ação","codex.gallery.dropdowns.title":"Menus suspensos","codex.gallery.inbox.automations.close":"Fechar","codex.gallery.inbox.automations.popover.cardTitle":"Gerenciar automações","codex.gallery.inbox.automations.popover.dialogTitle":"Gerenciar automações","codex.header.settingsTooltip":"Configurações","codex.hunk.patch.error":"Falha ao marcar para commit","codex.hunk.patch.missing":"Não foi possível gerar o patch para este bloco de alterações.","codex.hunk.patch.partialSuccess":"Sucesso parcial","codex.hunk.patch.revertError":"Falha ao desmarcar para commit","codex.hunk.patch.revertSuccess":"Desmarcação para commit realizada com sucesso","codex.hunk.patch.success":"Marcação para commit realizada com sucesso","codex.legal.autonomy.details":"Confira mais detalhes em {link}","codex.legal.autonomy.details.link":"Documentos do Codex","codex.legal.autonomy.title":"Defina quanta autonomia você quer conceder","codex.legal.backButton":"Anterior","codex.legal.cloud.taskOne.meta":"openai/agi · 12 de outubro","codex.legal.cloud.taskOne.title":"Explique o repositório para um novo designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8 de outubro","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Crie um tema em modo escuro","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 de outubro","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Corrija um bug na integração","codex.legal.continue.apikey":"Continuar","codex.legal.continueButton":"Seguinte","codex.legal.copilot.details":"Utiliza o plano Copilot para chamadas de modelo, cobranças e limites de uso. O emprego da extensão do Codex segue os {oaiTos} e os {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Termos de serviço do GitHub","codex.legal.copilot.oaiTosLink":"Termos de serviço do OpenAI Codex","codex.legal.copilot.title":"Alimentado pelo GitHub Copilot","codex.legal.mistakes.review":"Revise o código gerado e os comandos executados","codex.legal.mistakes.title":"O Codex pode cometer erros","codex.legal.powered.details":"Utiliza os limites de uso do seu plano e {link}","codex.legal.powered.details.link":"preferências de dados de treinamento","codex.legal.powered.title":"Alimentado por sua conta ChatGPT","codex.legal.step.cloud.subtitle":"Envie tarefas para o Codex executar em segundo plano, permitindo que você mantenha o foco e avance mais rápido.","codex.legal.step.cloud.title":"Entregue ao Codex na nuvem","codex.legal.step.intro.subtitle":"O Codex navega, edita, executa comandos e roda testes direto no seu repositório. Alimentado por sua conta do ChatGPT.","codex.legal.step.intro.title":"Codex no seu IDE","codex.legal.step.todo.subtitle":"Escreva um comentário PENDENTE e transforme-o em uma tarefa do Codex com apenas um clique.","codex.legal.step.todo.title":"Converta comentários PENDENTES em tarefas do Codex","codex.legal.todo.heading":"// PENDENTE: implementar schema","codex.localConversation.closeImagePreview":"Fechar prévia da imagem","codex.localConversation.userImageAttachment":"Anexo do usuário","codex.localTaskRow.archiveTask":"Arquivar tópico","codex.localTaskRow.awaitingApproval":"Aguardando aprovação","codex.localTaskRow.awaitingResponse":"Aguardando resposta","codex.localTaskRow.confirmArchiveTask":"Confirmar","codex.loggedOut.apiKeyPrompt.cancel":"Cancelar","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Obter chave API","codex.loggedOut.apiKeyPrompt.inputLabel":"Informe a sua chave API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tarefas na nuvem desabilitadas com a chave API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tarefas na nuvem desabilitadas com o Copilot e a chave API","codex.loggedOut.signIn":"Entrar com o ChatGPT","codex.loggedOut.signIn.cancel":"Cancelar início de sessão","codex.loggedOut.signInWithCopilot":"Entrar com o GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Usar chave API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} Ferramenta {tool} MCP","codex.mcpTool.collapsedLabel.verb.called":"Chamada","codex.mcpTool.collapsedLabel.verb.calling":"Chamando","codex.mcpTool.embeddedResource.contentLabel":"Conteúdo","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tipo de MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"A ferramenta não retornou conteúdo","codex.mcpTool.rawPayloadHeading":"{server} bruto. Carga útil da chamada da ferramenta {tool}","codex.menu.recent":"Recentes","codex.menu.seeAllHistory":"Exibir todo o histórico","codex.modelCapacityBanner.headline.noReset":"O {modelName} está no limite da sua capacidade no momento. Tente novamente mais tarde ou inicie uma nova conversa com outro modelo.","codex.modelCapacityBanner.headline.withReset":"O {modelName} está no limite da sua capacidade no momento. Tente novamente depois de {resetDate} ou inicie uma nova conversa com outro modelo.","codex.modelCapacityBanner.title":"O modelo selecionado está no limite da sua capacidade","codex.patch.change.contentsDeleted":"Conteúdos excluídos","codex.patch.change.created":"Criado","codex.patch.change.created-file":"Arquivo criado","codex.patch.change.creating":"Criando","codex.patch.change.deleted":"Excluídos","codex.patch.change.deleted-file":"Arquivo excluído","codex.patch.change.deleting":"Excluindo","codex.patch.change.edited":"Edição","codex.patch.change.edited-file":"Arquivo editado","codex.patch.change.editing":"Editando","codex.patch.change.noChanges":"Nenhuma alteração","codex.patch.change.rejected-add":"Rejeitado","codex.patch.change.rejected-delete":"Rejeitado","codex.patch.change.rejected-edit":"Rejeitado","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} de {total} tarefas concluídas","codex.plan.todoListCreated":"Lista de pendências criada com {total} tarefas","codex.profileDropdown.apiKeyAuth":"Conectado com a chave API","codex.profileDropdown.codexSettings":"Configurações do Codex","codex.profileDropdown.copilotAuth":"Conectado com o Copilot","codex.profileDropdown.defaultAccountTitle":"Conta padrão","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter para enviar prompts longos","codex.profileDropdown.enterBehaviorError":"Falha ao atualizar configuração","codex.profileDropdown.getPlus":"Faça upgrade para obter limites mais altos","codex.profileDropdown.keyboardShortcuts":"Atalhos de teclado","codex.profileDropdown.language":"Idioma","codex.profileDropdown.languageDefault":"Autodetectar","codex.profileDropdown.languageSearchPlaceholder":"Buscar idiomas","codex.profileDropdown.languageUpdateError":"Falha ao atualizar o idioma","codex.profileDropdown.logOut":"Sair","codex.profileDropdown.mcp":"Configurações de MCP","codex.profileDropdown.openConfigToml":"Abrir config.toml","codex.profileDropdown.openConfigToml.wsl":"Abrir config.toml no ambiente WSL","codex.profileDropdown.openExtensionSettings":"Abrir configurações","codex.profileDropdown.openMcpSettings":"Abrir configurações de MCP","codex.profileDropdown.openOnStartup":"Abrir ao iniciar","codex.profileDropdown.openOnStartupError":"Falha ao atualizar configuração","codex.profileDropdown.openSkillsSettings":"Abrir configurações de habilidades","codex.profileDropdown.personalAccountTitle":"Conta pessoal","codex.profileDropdown.queueFollowUps":"Ordenar sequências","codex.profileDropdown.queueFollowUpsError":"Falha ao atualizar configuração","codex.profileDropdown.readDocs":"Ler documentos","codex.profileDropdown.readSkillsDocs":"Ler documentos","codex.profileDropdown.runInWsl":"Executar no WSL","codex.profileDropdown.runInWslError":"Falha ao atualizar configuração","codex.profileDropdown.runInWslTooltip":"Executa o Codex dentro do WSL. Recomendado para maior segurança no sandbox e melhor desempenho.","codex.profileDropdown.settings":"Configurações de IDE","codex.profileDropdown.settingsPage":"Configurações","codex.profileDropdown.signInWithOpenAI":"Entrar com o ChatGPT","codex.profileDropdown.skills":"Configurações de habilidades","codex.profileDropdown.switchToCopilotAccount":"Usar conta Copilot","codex.profileDropdown.switchToOpenAIAccount":"Usar conta OpenAI","codex.profileDropdown.todoCodelens":"Corrigir comentários PENDENTES","codex.profileDropdown.todoCodelensError":"Falha ao atualizar configuração","codex.profileDropdown.windowsDocumentation":"Documentação do Windows","codex.profileFooter.signedInFallback":"Configurações","codex.profileFooter.upgrade":"Fazer upgrade","codex.recentTasksMenu.clearSearch":"Limpar busca","codex.recentTasksMenu.cloud":"Tarefas da nuvem","codex.recentTasksMenu.count":"{count, plural, =0 {Nenhuma tarefa em andamento} one {# tarefa em andamento} many {# tarefas em andamento} other {# tarefas em andamento}}","codex.recentTasksMenu.empty":"Ainda não há tópicos","codex.recentTasksMenu.errorCloud":"Falha ao carregar tarefas.","codex.recentTasksMenu.errorCloud.inline":"Falha ao carregar tarefas da nuvem.","codex.recentTasksMenu.filterAll":"Tudo","codex.recentTasksMenu.filterCloudTasks":"Filtrar tarefas da nuvem","codex.recentTasksMenu.filterTooltip":"Filtrar tarefas por ambiente","codex.recentTasksMenu.local":"Tarefas locais","codex.recentTasksMenu.recent":"Todas as tarefas","codex.recentTasksMenu.search":"Buscar em tarefas recentes","codex.recentTasksMenu.searchEmpty":"Nenhum resultado","codex.recentTasksMenu.tooltip":"Histórico de tarefas","codex.recentTasksMenu.trigger":"Tarefas recentes. {count, plural, one {# em andamento} many {# em andamento} other {# em andamento}}","codex.remoteConversation.applyDiff.applyCta":"Aplicar alterações","codex.remoteConversation.applyDiff.dropdownTitle":"Aplicar alterações a um branch local","codex.remoteConversation.applyDiff.revertCta":"Reverter alterações","codex.remoteConversation.closeImagePreview":"Fechar prévia da imagem","codex.remoteConversation.codexCloudTask":"Você está exibindo uma tarefa <u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Erro: {message}","codex.remoteConversation.loadingImage":"Carregando imagem","codex.remoteConversation.openInWeb":"Abrir na Web","codex.remoteConversation.streaming":"Iniciando","codex.remoteConversation.turnFailed":"Ocorreu um erro durante esta tarefa","codex.remoteConversation.turnTab.loading":"Tentativa {number}","codex.remoteConversation.turnTab.title":"Tentativa {number}","codex.remoteConversation.userImageAttachment":"Anexo do usuário","codex.remoteConversation.viewPreviousTurns":"Abrir na Web","codex.remoteConversation.viewPreviousTurns.buttonText":"Abrir","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Abrir na Web","codex.review.copyGitApplyCommand":"Copie o comando git apply","codex.review.copyGitApplyCommand.toast":"Comando git apply copiado para a área de transferência","codex.review.diffTooLarge.description":"Este diff é muito grande para exibir na Revisão.","codex.review.diffTooLarge.title":"Diff grande demais para exibir","codex.review.expandOrCollapseDiffButton.collapse":"Minimizar todos os diffs","codex.review.expandOrCollapseDiffButton.expand":"Expandir todos os diffs","codex.review.expandOrCollapseDiffMenu.collapse":"Minimizar todos os diffs","codex.review.expandOrCollapseDiffMenu.expand":"Expandir todos os diffs","codex.review.fileSearch.clear":"Limpar filtro de arquivos","codex.review.fileSearch.empty":"Nenhum arquivo corresponde ao filtro atual.","codex.review.fileSearch.label":"Filtrar arquivos","codex.review.fileSearch.placeholder":"Filtrar arquivos…","codex.review.filesChanged":"{num, plural, =0 {Nenhum arquivo alterado} one {# arquivo alterado} many {# arquivos alterados} other {# arquivos alterados}}","codex.review.find.loadMore":"Carregar mais correspondências","codex.review.fullReview.hideFileTree":"Ocultar árvore de arquivos","codex.review.fullReview.showFileTree":"Exibir árvore de arquivos","codex.review.header.moreOptions":"Opções de revisão","codex.review.largeDiff.banner":"Diferença grande detectada, exibindo um arquivo por vez.","codex.review.loadFullFiles.disable":"Não carregar arquivos completos","codex.review.loadFullFiles.enable":"Carregar arquivos completos","codex.review.noDiff":"Alterações de arquivo serão exibidas aqui","codex.review.noDiff.gitInit.createRepository":"Criar repositório git","codex.review.noDiff.gitInit.creating":"Criando…","codex.review.noDiff.gitInit.error":"Falha no git init: {message}","codex.review.noDiff.gitInit.success":"Repositório Git criado","codex.review.noDiff.gitRepoRequired.description":"Rastreie e desfaça alterações neste projeto","codex.review.noDiff.gitRepoRequired.title":"Criar um repositório Git","codex.review.noDiff.orNoLongerAvailable":"ou os últimos diffs não estão mais disponíveis","codex.review.noDiff.reverted":"O turno anterior foi revertido","codex.review.noDiff.revertedOrCommitted":"O turno anterior foi revertido ou o commit foi realizado","codex.review.refreshGitQueries":"Atualizar","codex.review.revert.file.error":"Falha ao reverter {path}","codex.review.revert.file.partialSuccess":"Reversão parcial de {path}","codex.review.revert.file.success":"Reversão total de {path}","codex.review.revert.hunk.error":"Falha na reversão do bloco de alterações {hunkNumber} em {path}","codex.review.revert.hunk.partialSuccess":"Reversão parcial de bloco de alterações {hunkNumber} em {path}","codex.review.revert.hunk.success":"Reversão total de bloco de alterações {hunkNumber} em {path}","codex.review.revert.section.error":"Falha na reversão da seção","codex.review.revert.section.partialSuccess":"Reversão parcial da seção","codex.review.revert.section.success":"Seção revertida","codex.review.revertDialog.cancel":"Cancelar","codex.review.revertDialog.confirm":"Confirmar","codex.review.revertDialog.message":"Esta ação remove todas as mudanças.","codex.review.revertDialog.skip":"Não perguntar novamente","codex.review.revertDialog.title":"Reverter alterações?","codex.review.richPreview.disable":"Desabilitar prévia detalhada","codex.review.richPreview.enable":"Habilitar prévia detalhada","codex.review.source.cloud":"Alterações na nuvem","codex.review.source.local.all":"Todas as alterações do branch","codex.review.source.local.lastTurn":"Alterações do último turno","codex.review.source.local.uncommitted":"Alterações sem commit","codex.review.source.worktree":"Alterações à árvore de trabalho sem commit","codex.review.stageFilter.empty.staged.description":"Aceitar edições e marcá-las para commit","codex.review.stageFilter.empty.staged.title":"Nenhuma alteração marcada para commit","codex.review.stageFilter.empty.unstaged.description":"Alterações de código serão exibidas aqui","codex.review.stageFilter.empty.unstaged.title":"Nenhuma alteração não marcada para commit","codex.review.stageFilter.staged":"Marcadas para commit","codex.review.stageFilter.staged.count":"Marcadas para commit · {count}","codex.review.stageFilter.unstaged":"Não marcadas para commit","codex.review.stageFilter.unstaged.count":"Não marcadas para commit · {count}","codex.review.switchToSplit":"Mudar para diff dividido","codex.review.switchToUnified":"Mudar para diff unificado","codex.review.toggleDiffView":"Alternar exibição do diff","codex.review.wordDiffs.disable":"Desabilitar diffs por palavra","codex.review.wordDiffs.enable":"Habilitar diffs por palavra","codex.review.wrap.disable":"Desabilitar quebra automática de linha","codex.review.wrap.enable":"Habilitar quebra automática de linha","codex.section.patch.missing":"Não foi possível gerar o patch para esta seção.","codex.shell.collapse":"Minimizar shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Conteúdo do shell copiado","codex.shell.copy.copyTooltip":"Copiar conteúdo do shell","codex.shell.copyCommand":"Copiar comando","codex.shell.copyOutput":"Copiar saída","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Expandir shell","codex.shell.name":"Shell","codex.shell.noOutput":"Nenhum resultado","codex.signInFailed.message":"Falha ao iniciar sessão: {rawMessage}","codex.stories.toast.show":"Exibir notificação instantânea","codex.stories.tooltip.basic":"Isto é uma dica","codex.stories.tooltip.hoverMe":"Passe o mouse aqui","codex.stories.tooltip.largerOffset":"Esta dica tem um afastamento maior","codex.stories.tooltip.offsetButton":"Afastamento maior","codex.stories.tooltip.shortcutButton":"Com atalho","codex.stories.tooltip.withShortcut":"Alternar terminal","codex.taskRow.title":"Novo tópico","codex.taskRowLayout.confirm":"Confirmar","codex.threadFindBar.chatFilter":"Buscar chat","codex.threadFindBar.close":"Fechar localizar","codex.threadFindBar.diffFilter":"Buscar diffs","codex.threadFindBar.label":"Localizar no tópico","codex.threadFindBar.nextResult":"Próximo resultado","codex.threadFindBar.noResults":"0 resultado","codex.threadFindBar.placeholder":"Buscar tópico…","codex.threadFindBar.placeholder.extension":"Buscar tópico…","codex.threadFindBar.placeholder.review":"Buscar diff…","codex.threadFindBar.placeholder.review.extension":"Buscar diff…","codex.threadFindBar.previousResult":"Resultado anterior","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# arquivo alterado} many {# arquivos alterados} other {# arquivos alterados}}","codex.unifiedDiff.inlineLargeFile":"Grande demais para renderizar em linha","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Desfazer","codex.unifiedDiff.revertPatchError":"Falha na reversão das alterações","codex.unifiedDiff.revertPatchSuccess":"Alterações revertidas","codex.unifiedDiff.reviewChangesSuffix":"alterações","codex.unifiedDiff.reviewShort":"Revisar","codex.unifiedDiff.viewDiffTooltip":"Revisar","codex.upsellBanner.business.headline":"Para obter mais acesso agora, envie uma solicitação para o administrador ou aguarde até {resetDate}.","codex.upsellBanner.cbp.headline":"Para obter mais acesso agora, envie uma solicitação para o administrador.","codex.upsellBanner.cta.addCredits":"Adicionar créditos","codex.upsellBanner.cta.upgradeAccount":"Fazer upgrade","codex.upsellBanner.cta.viewUsage":"Exibir uso","codex.upsellBanner.free.trialHeadline":"Seu limite de uso é redefinido em {resetDate}. Para continuar usando o Codex e obter acesso ao GPT-5.3-Codex, comece hoje mesmo o seu teste gratuito do Plus.","codex.upsellBanner.freeOrGo.headline":"Seu limite de uso é redefinido em {resetDate}. Para continuar usando o Codex, faça upgrade para o Plus hoje mesmo.","codex.upsellBanner.general.headline":"Seu limite de uso é redefinido em {resetDate}.","codex.upsellBanner.general.title":"Você atingiu o limite de mensagens do Codex","codex.upsellBanner.go.trialHeadline":"Seu limite de uso é redefinido em {resetDate}. Para continuar usando o Codex, comece hoje mesmo o seu teste gratuito do Plus.","codex.upsellBanner.plus.headline":"Seu limite de uso é redefinido em {resetDate}. Para continuar usando o Codex, adicione créditos ou faça upgrade para o Pro hoje mesmo.","codex.upsellBanner.pro.headline":"Seu limite de uso é redefinido em {resetDate}. Adicione créditos para continuar usando o Codex agora mesmo.","codex.userMessage.autoResolveSync":"Resolução automática de conflitos","codex.userMessage.commentCount":"{count, plural, one {# comentário} many {# comentários} other {# comentários}}","codex.userMessage.copiedAriaLabel":"Copiado","codex.userMessage.copiedTooltip":"Copiado","codex.userMessage.copyAriaLabel":"Copiar mensagem","codex.userMessage.copyTooltip":"Copiar","codex.userMessage.implementPlan":"Implementar plano","codex.userMessage.noContent":"(Sem conteúdo)","codex.userMessage.priorConversation":"Referencia a conversa anterior","codex.userMessage.reviewMode":"Modo revisão","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"para {query}","codex.webSearch.summary.verb.completed":"Buscou na Web","codex.webSearch.summary.verb.inProgress":"Buscando na Web","codex.windowsInstallWslBanner.dismiss":"Dispensar","codex.windowsInstallWslBanner.installWslCta":"Habilitar área restrita","codex.windowsInstallWslBanner.learnMore":"Saiba mais","codex.windowsSandboxBanner.content":"O modo agente usa uma área restrita experimental no Windows para limitar o sistema de arquivos e o acesso à rede. {sandboxLink}","codex.windowsSandboxBanner.title":"Habilitar área restrita no modo agente","codex.windowsSubDropdown.windowsSandbox":"Área Restrita do Windows","codex.windowsSubDropdown.windowsSettings":"Configurações do Windows","codexUpgradeModal.body":"Nosso modelo agêntico de programação mais recente: mais inteligente, mais rápido e mais capaz em trabalho técnico geral. {link}","codexUpgradeModal.close":"Fechar","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Saiba mais","codexUpgradeModal.title":"Apresentamos o GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Experimente já o GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Continuar com o modelo atual","commentAttachments.numComments":"{count, plural, one {# comentário} many {# comentários} other {# comentários}}","commentAttachments.removeAriaLabel":"Remover anexo de comentários","common.close":"Fechar","composer.addContext.openFilePickerError":"Não foi possível abrir o seletor de arquivos","composer.addContextDropdown.ariaLabel":"Adicionar arquivos e mais","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Adicionar arquivos e mais","composer.addPhotosAndFiles":"Adicionar fotos e arquivos","composer.atMentionList.emptyQuery":"Digite para buscar arquivos","composer.atMentionList.loading":"Buscando…","composer.atMentionList.noResults":"Nenhum resultado","composer.attemptsSelector.option":"{count, plural, one {# versão} many {# versões} other {# versões}}","composer.attemptsSelector.tooltip":"Número de tentativas paralelas para o Codex executar","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Interromper","composer.cloudFollowUp.cloud":"Nuvem","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"Onde esta sequência deve ser executada?","composer.cloudTaskCreationError":"Erro ao criar tarefa na nuvem","composer.cloudTaskError":"Erro ao criar tarefa","composer.contextWindow.autoCompactionTooltipLine1":"O Codex compacta automaticamente o próprio contexto","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Janela de contexto:","composer.contextWindowUsageStatusFull":"{usage}% cheia","composer.contextWindowUsageStatusLeft":"{usage}% usado ({remaining}% restante)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens usados","composer.customCliTooltip":"Usando uma CLI personalizada executável","composer.dictation.aria":"Ditar","composer.dictation.cancel.aria":"Interromper ditado","composer.dictation.cancel.tooltip":"Interromper ditado","composer.dictation.startError":"Não foi possível iniciar o ditado","composer.dictation.submit.aria":"Transcrever e enviar","composer.dictation.submit.tooltip":"Transcrever e enviar","composer.dictation.tooltip":"Segure para ditar","composer.dictation.transcribeError":"Não foi possível transcrever o áudio","composer.dictation.unsupported":"O ditado não está disponível neste aparelho","composer.dropOverlay.holdShift":"Segure {key} para soltar","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Criar novo","composer.environmentSelector.error":"Erro ao carregar ambientes","composer.environmentSelector.goBack":"Voltar para o compositor","composer.environmentSelector.title":"Selecionar ambiente","composer.environmentSelector.tooltip":"Selecione um ambiente de nuvem","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Selecione um arquivo","composer.filePicker.selectFiles":"Selecionar arquivos","composer.followerTooltip":"Para continuar, volte até a janela onde a conversa começou.","composer.footer.branchSwitch.checkoutError":"Falha ao alternar o branch: {message}","composer.footer.branchSwitch.createAndCheckout":"Criar e fazer checkout de um novo branch…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Fazer commit das alterações para criar e fazer checkout de um novo branch","composer.footer.branchSwitch.createBranchError":"Falha ao criar branch: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nome do branch","composer.footer.branchSwitch.createDialog.branchExistsError":"O branch já existe.","composer.footer.branchSwitch.createDialog.close":"Fechar","composer.footer.branchSwitch.createDialog.createAndCheckout":"Criar e fazer checkout","composer.footer.branchSwitch.createDialog.placeholder":"novo-branch","composer.footer.branchSwitch.createDialog.title":"Criar e fazer checkout do branch","composer.footer.branchSwitch.createDialog.trailingSlashError":'O nome do branch não pode terminar com "/".',"composer.footer.branchSwitch.tooltip":"Alternar branch","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Conclua o commit das alterações em {fileCount, plural, one {# arquivo} many {# arquivos} other {# arquivos}} para fazer o checkout de {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Conclua o commit das","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"alterações em {fileCount, plural, one {# arquivo} many {# arquivos} other {# arquivos}} para fazer o checkout de {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Cancelar","composer.footer.branchSwitch.uncommittedDialog.commit":"Fazer o commit e trocar de branch…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Suas alterações nos seguintes arquivos serão substituídas no checkout:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Faça o commit das suas alterações para continuar.","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"o branch selecionado","composer.footer.branchSwitch.uncommittedDialog.title":"Faça o commit das alterações para trocar de branch","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Sem commit: {fileCount, plural, one {# arquivo} many {# arquivos} other {# arquivos}}","composer.forkSlashCommand.description":"Bifurcar este tópico em local ou numa nova árvore de trabalho","composer.forkSlashCommand.option.local.description":"Continuar em um novo tópico local","composer.forkSlashCommand.option.local.title":"Bifurcar em local","composer.forkSlashCommand.option.worktree.description":"Continuar em uma nova árvore de trabalho","composer.forkSlashCommand.option.worktree.title":"Bifurcar em uma nova árvore de trabalho","composer.forkSlashCommand.title":"Bifurcar","composer.ideContextIndicator":"Contexto de IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Incluir contexto de IDE","composer.ideContextIndicator.tooltipToggle":"para alternar","composer.ideContextSlashCommand.disableDescription":"Desativar contexto de IDE","composer.ideContextSlashCommand.enableDescription":"Incluir a seleção atual, arquivos abertos e outros contextos do seu IDE","composer.ideContextSlashCommand.title":"Contexto de IDE","composer.imageInputsUnsupported":"Este modelo não oferece suporte a entradas de imagem. Tente outro modelo.","composer.imageUploadFailed":"Falha ao carregar imagem","composer.includeIdeContextDropdown":"Incluir contexto da IDE","composer.includeIdeContextDropdown.ariaLabel":"Incluir contexto da IDE","composer.localCwdDropdown.addWorkspaceRoot":"Adicionar novo projeto","composer.localCwdDropdown.noActiveRoot":"Selecione seu projeto","composer.localCwdDropdown.noResults":"Nenhuma pasta encontrada","composer.localCwdDropdown.title":"Selecione seu projeto","composer.localTaskError":"Erro ao iniciar conversa","composer.mcpSlashCommand.description":"Exibir status do servidor MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Não autenticado","composer.mcpStatus.authOauth":"Autenticado (OAuth)","composer.mcpStatus.authToken":"Autenticado (chave API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Fechar","composer.mcpStatus.disabled":"Desabilitado","composer.mcpStatus.emptyLabel":"Servidores:","composer.mcpStatus.emptyValue":"Nenhum servidor MCP configurado","composer.mcpStatus.enabled":"Habilitado","composer.mcpStatus.errorLabel":"Status","composer.mcpStatus.errorValue":"Não foi possível carregar o status do MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agente","composer.mode.agentMode.auto.dropdownLabel":"Agente","composer.mode.agentMode.auto.optionLabel":"Agente","composer.mode.agentMode.changePermission":"Alternar modo","composer.mode.agentMode.custom":"Personalizado","composer.mode.agentMode.custom.dropdownLabel":"Personalizado","composer.mode.agentMode.custom.option":"Personalizado (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personalizado (config.toml)","composer.mode.agentMode.customInfo.cancel":"Cancelar","composer.mode.agentMode.customInfo.cli":"Você pode ajustar essas configurações pelo CLI ou editando o arquivo diretamente.","composer.mode.agentMode.customInfo.confirm":"Usar modo personalizado","composer.mode.agentMode.customInfo.description":"O modo personalizado aplica as políticas de aprovação e isolamento definidas no arquivo <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Saiba mais sobre como configurar políticas de aprovação e isolamento na <link>documentação do ambiente de execução</link>.","composer.mode.agentMode.customInfo.refresh":"Qualquer alteração passa a valer na próxima execução do agente.","composer.mode.agentMode.customInfo.title":"Como o modo personalizado funciona","composer.mode.agentMode.fullAccess":"Agente (acesso completo)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agente (acesso completo)","composer.mode.agentMode.fullAccess.optionLabel":"Agente (acesso completo)","composer.mode.agentMode.fullAccessConfirm.caution":"Tome cuidado ao habilitar o acesso completo. Isso aumenta significativamente o risco de perda de dados, vazamentos ou comportamento inesperado.","composer.mode.agentMode.fullAccessConfirm.confirm":"Sim, continuar mesmo assim","composer.mode.agentMode.fullAccessConfirm.description":"Com acesso completo, o Codex pode editar qualquer arquivo no seu computador e executar comandos com rede, sem sua aprovação.","composer.mode.agentMode.fullAccessConfirm.goBack":"Cancelar","composer.mode.agentMode.fullAccessConfirm.title":"Habilitar acesso completo?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Alternar modo","composer.mode.agentMode.tooltip.auto":"Executar comandos, ler e editar arquivos.","composer.mode.agentMode.tooltip.custom":"Use as políticas mais recentes de aprovação e isolamento definidas no config.toml.","composer.mode.agentMode.tooltip.fullAccess":"O Codex pode editar arquivos fora deste projeto e executar comandos com acesso à rede. Tome cuidado ao usar.","composer.mode.agentMode.tooltip.readOnly":"Requer aprovação para editar arquivos e executar comandos.","composer.mode.cloud.tooltip":"Trabalhe em um ambiente de nuvem","composer.mode.contactAdmin":"Para obter mais acesso, entre em contato com o administrador","composer.mode.local":"Local","composer.mode.local.learnMore":"Saiba mais","composer.mode.local.model.custom":"Personalizado","composer.mode.local.model.loadingModel":"Carregando modelo","composer.mode.local.model.selecrReasoningEffort":"Selecionar raciocínio","composer.mode.local.model.selectModel":"Selecionar modelo","composer.mode.local.model.tooltip":"Escolher modelo","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Alta","composer.mode.local.reasoning.low.label":"Baixa","composer.mode.local.reasoning.medium.label":"Média","composer.mode.local.reasoning.minimal.label":"Mínimo","composer.mode.local.reasoning.none.label":"Nenhuma","composer.mode.local.reasoning.xhigh.label":"Altíssimo","composer.mode.localRemoteWhereRun":"Selecione onde a tarefa será executada","composer.mode.newTask.header":"Continuar em","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Limites de uso restantes","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"{modelName} limite:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {limite semanal} many {limite de {weeks} semanas} other {limite de {weeks} semanas}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Semanalmente} many {{weeks} Semana} other {{weeks} Semana}}","composer.mode.remote.connectToCloud":"Conectar Codex na Web","composer.mode.remote.connectToCloudDisabledTooltip":"Configure um ambiente pelo Codex na Web para permitir o envio de tarefas à nuvem","composer.mode.remote.selectEnvironment":"Selecionar ambiente","composer.mode.remote.sendToCloud":"Enviar para a nuvem","composer.mode.remote.setupViaWeb":"Configure um ambiente pelo Codex na Web","composer.mode.runInCloud":"Nuvem","composer.mode.runInCloudWithEnvironment":"Nuvem · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Trabalhe no ambiente de nuvem","composer.mode.segmentedToggle.local.tooltip":"Trabalhe no seu projeto local","composer.mode.segmentedToggle.worktree.tooltip":"Trabalhe em uma árvore de trabalho paralela","composer.mode.upgradeToPlus":"Fazer upgrade para o Plus","composer.mode.upgradeToPro":"Fazer upgrade para o Pro","composer.mode.workLocally":"Projeto local","composer.mode.workLocally.currentBranchFallback":"seu branch","composer.mode.workLocally.tooltip":"Trabalhar em {branchName}","composer.mode.worktree":"Nova árvore de trabalho","composer.mode.worktree.submoduleWarning":"Este repositório tem submódulos git. A criação da árvore de trabalho pode falhar","composer.mode.worktree.tooltip":"Crie uma cópia do seu projeto local para trabalhar em paralelo","composer.mode.worktreeSegment":"Árvore de trabalho","composer.modelChangeDuringConversationWarning.toast":"Trocar de modelo no meio da conversa degradará o desempenho.","composer.newChat.heading.browser":"O que vamos programar agora?","composer.permissionsDropdown.agentMode.tooltip.custom":"O Codex usa a permissão definida em config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"O Codex tem acesso total ao seu computador (risco elevado).","composer.permissionsDropdown.custom.label":"Personalizado (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personalizado (config.toml)","composer.permissionsDropdown.default.label":"Permissões padrão","composer.permissionsDropdown.default.optionLabel":"Permissões padrão","composer.permissionsDropdown.default.tooltip":"O Codex executa comandos automaticamente em uma área restrita.","composer.permissionsDropdown.disabled.requirements":"As permissões estão trancadas por requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"O acesso completo está desabilitado por requirements.toml","composer.permissionsDropdown.fullAccess.label":"Acesso completo","composer.permissionsDropdown.fullAccess.optionLabel":"Acesso completo","composer.permissionsDropdown.trigger.tooltip":"Alterar permissões","composer.personalitySlashCommand.description.friendly":"Acolhedor, colaborativo e prestativo","composer.personalitySlashCommand.description.pragmatic":"Conciso, focado em tarefas e direto","composer.personalitySlashCommand.label.friendly":"Amigável","composer.personalitySlashCommand.label.pragmatic":"Pragmática","composer.personalitySlashCommand.notApplicableSuffix":"(Não se aplica ao modelo atual)","composer.personalitySlashCommand.title":"Personalidade","composer.placeholder.cloudFollowUp.directFollowUp":"Sequência desta tarefa na nuvem","composer.placeholder.cloudFollowUp.local":"Crie uma nova tarefa local que referencia esta tarefa na nuvem.","composer.placeholder.cloudFollowUp.workingTree":"Criar uma nova tarefa na nuvem que inclua seu código atual e faça referência a esta tarefa.","composer.placeholder.localFollowUp.cloud":"Sequência em uma nova tarefa na nuvem","composer.placeholder.localFollowUp.locally":"Pedir alterações adicionais","composer.placeholder.newTask.cloud":"Pedir ao Codex para fazer qualquer ação na nuvem","composer.placeholder.newTask.doAnything":"Pergunte qualquer coisa ao Codex","composer.placeholder.newTask.locally":"Pergunte o que quiser ao Codex, use @ para adicionar arquivos e / para comandos","composer.planModeDropdown":"Modo planejamento","composer.planModeDropdown.ariaLabel":"Modo planejamento","composer.planModeIndicator":"Plano","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Crie um plano com o Codex","composer.planModeIndicator.tooltipToggle":"para alternar","composer.planSlashCommand.disableDescription":"Desativar modo planejamento","composer.planSlashCommand.enableDescription":"Ativar modo planejamento","composer.planSlashCommand.title":"Modo planejamento","composer.priorContext.label":"Contexto anterior","composer.priorContext.removeAriaLabel":"Remover contexto anterior","composer.queuedMessage.delete":"Excluir mensagem em fila","composer.queuedMessage.edit":"Editar mensagem","composer.queuedMessage.more":"Ações de mensagem em fila","composer.queuedMessage.sendNow":"Direcionar","composer.queuedMessage.sendNowTooltip":"Enviar agora sem interromper o trabalho","composer.queuedMessage.turnOff":"Desativar fila","composer.reasoningEffort.local.reasoning.tooltip":"Selecionar esforço de raciocínio","composer.remote.branchStartingPoint":"A partir de qual branch esta tarefa deve começar?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Crie uma nova tarefa que referencia esta tarefa na nuvem.","composer.remote.currentEditsSuffix.useLocal":"com mudanças de código local","composer.remote.directFollowUp":"Não usar mudanças locais","composer.remote.errorLoadingBranches":"Erro ao carregar branches","composer.remote.fromBranch":"De {branch}","composer.remote.fromCurrentBranch":"Do {branch} (atual)","composer.remote.loadingMoreBranches":"Carregando…","composer.remote.localFileStateHeading":"Estado do arquivo local","composer.remote.localWorkingTree":"Usar alterações locais","composer.remote.startingPoint":"A partir de qual código esta tarefa deve começar?","composer.reviewMode.branches.error":"Não foi possível carregar os branches","composer.reviewMode.branches.retry":"Repetir","composer.reviewMode.gitRoot.error":"Root do Git não encontrado","composer.reviewMode.option.baseBranch.simple":"Revisar em comparação com um branch principal","composer.reviewMode.option.unstaged.simple":"Revisar alterações sem commit","composer.reviewMode.quickReviewError":"Não foi possível iniciar a revisão de código.","composer.reviewMode.title":"Revisão de código","composer.sandboxButton.unlock.disabled.tooltip":"Acesso completo desabilitado por requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"O Codex usa uma área restrita experimental no Windows para limitar o sistema de arquivos e o acesso à rede. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Habilitar área restrita do Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Usar somente leitura","composer.searchEnvironments":"Buscar ambientes","composer.skillMentionList.app":"Aplicativo","composer.skillMentionList.loading":"Carregando habilidades…","composer.skillMentionList.noResults":"Nenhuma habilidade encontrada","composer.slashCommands.cloudEnvironment.title":"Ambiente de nuvem","composer.slashCommands.dialogLabel":"Menu de comandos de barra","composer.slashCommands.dialogTitle":"Comandos de barra","composer.slashCommands.disabledTooltip":"Inicie uma nova conversa para usar comandos de barra","composer.slashCommands.inputPlaceholder":"Buscar","composer.slashCommands.noResults":"Nenhum comando","composer.slashCommands.skillsGroup":"Habilidades","composer.slashCommands.tooltip":"Navegar por comandos de barra","composer.status.close":"Fechar","composer.statusPlain.alertLabel":"Alerta:","composer.statusPlain.alertValue":"{remaining}% restante(s) em {window}","composer.statusPlain.contextLabel":"Contexto:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} usados / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% restante(s)","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limite:","composer.statusPlain.rateLimitDays":"limite de {count} d","composer.statusPlain.rateLimitFallbackLabel":"limite de uso:","composer.statusPlain.rateLimitHours":"limite de {count} h","composer.statusPlain.rateLimitLabelBase":"Limite de uso","composer.statusPlain.rateLimitMinutes":"limite de {count} min","composer.statusPlain.rateLimitPercent":"{remaining}% restante(s)","composer.statusPlain.rateLimitReset":"redefinição {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"horário de redefinição indisponível","composer.statusPlain.rateLimitUnavailable":"Indisponível","composer.statusPlain.sessionCopiedAriaLabel":"ID da sessão copiado","composer.statusPlain.sessionCopiedTooltip":"ID Copiado","composer.statusPlain.sessionCopyAriaLabel":"Copiar ID da sessão","composer.statusPlain.sessionCopyTooltip":"Copiar ID","composer.statusPlain.sessionLabel":"Sessão:","composer.statusSlashCommand.description":"Exibir ID de tópico, contexto de uso e limites de uso","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Não foi possível enviar a mensagem","composer.submit.emptyMessage":"Digite uma mensagem para começar","composer.submit.imageInputsUnsupported":"Remova as imagens ou troque de modelo para enviar esta mensagem.","composer.submit.loadingLocalConfig":"Carregando…","composer.submit.missingCloudConfig":"É necessário escolher um ambiente na nuvem","composer.submit.missingCloudTurn":"Não é possível acompanhar esta tarefa","composer.submit.noWorkspace":"Adicione um projeto para usar o Codex","composer.submit.waitForImageUploads":"Carregando imagens…","composer.submitButtonTooltip.send":"Enviar","composer.submitButtonTooltip.stop":"Interromper","composer.worktreeEnvironment.create":"Criar ambiente local","composer.worktreeEnvironment.default":"Ambiente padrão","composer.worktreeEnvironment.error":"Erro ao carregar ambientes","composer.worktreeEnvironment.loading":"Carregando ambientes…","composer.worktreeEnvironment.title":"Ambiente local","composer.worktreeEnvironment.tooltip":"Selecione um ambiente local","composer.worktreeSetupFailed":"A configuração da árvore de trabalho falhou. Verifique .codex/environments para encontrar um script de configuração.","compoundButton.secondaryAction":"Ação secundária","copyButton.copied":"Copiado","copyButton.copiedAriaLabel":"Copiado","copyButton.copy":"Copiar","copyButton.copyAriaLabel":"Copiar","copyButton.copyCode":"Copiar código","diff.actionButton.revertFile":"Reverter arquivo","diff.actionButton.revertHunk":"Reverter","diff.actionButton.revertSection":"Reverter tudo","diff.actionButton.revertSectionLabel":"Reverter tudo","diff.actionButton.stageFile":"Marcar arquivo para commit","diff.actionButton.stageHunk":"Marcar para commit","diff.actionButton.stageSection":"Marcar tudo para commit","diff.actionButton.stageSectionLabel":"Marcar tudo para commit","diff.actionButton.unstageFile":"Desmarcar arquivo para commit","diff.actionButton.unstageHunk":"Desmarcar para commit","diff.actionButton.unstageSection":"Desmarcar tudo para commit","diff.actionButton.unstageSectionLabel":"Desmarcar tudo para commit","diff.fileHeader.toggle":"Alternar diff do arquivo","electron.onboarding.login.apikey.cancel":"Cancelar","electron.onboarding.login.apikey.continue":"Continuar","electron.onboarding.login.apikey.label":"Chave API da OpenAI","electron.onboarding.login.apikey.open":"Informe a chave API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Cancelar início de sessão","electron.onboarding.login.chatgpt.continue":"Continuar com o ChatGPT","electron.onboarding.login.devbox":"Conectar a um SSH remoto","electron.onboarding.login.error":"Falha ao iniciar sessão: {rawMessage}","electron.onboarding.login.snake.start":"Jogar Cobrinha","electron.onboarding.login.sshConfig.cancel":"Cancelar","electron.onboarding.login.sshConfig.continue":"Continuar","electron.onboarding.login.sshConfig.hostnameLabel":"Nome do host SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"A melhor maneira de desenvolver com agentes","electron.onboarding.login.title":"Boas-vindas ao Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuar","electron.onboarding.welcome.doubleLimits.description":"Em comemoração ao lançamento do aplicativo Codex, seus limites de uso foram dobrados até 2 de abril.","electron.onboarding.welcome.freego.description":"O Codex está incluído no seu plano gratuitamente até 2 de março. Vamos começar a desenvolver juntos!","electron.onboarding.welcome.new.title.anon":"Boas-vindas!","electron.onboarding.workspace.continue":"Continuar","electron.onboarding.workspace.empty":"Adicione um projeto para continuar.","electron.onboarding.workspace.listLabel":"Projetos disponíveis","electron.onboarding.workspace.loading":"Carregando projetos…","electron.onboarding.workspace.openFolder":"Adicionar projeto","electron.onboarding.workspace.selectAll":"tudo","electron.onboarding.workspace.skip":"Pular","electron.onboarding.workspace.skip.error":"Não foi possível criar um novo projeto: {message}","electron.onboarding.workspace.skip.error.unknown":"Erro desconhecido","electron.onboarding.workspace.skipping":"Criando um novo projeto…","electron.onboarding.workspace.subtitle":"O Codex poderá editar arquivos e executar comandos em pastas selecionadas.","electron.onboarding.workspace.title":"Selecione um projeto","errorPage.list.checkSettings":"Tente atualizar as configurações do IDE","errorPage.list.configToml":"Verifique se há configurações inválidas em config.toml","errorPage.list.downloadExtension":"Tente baixar outra versão da extensão","errorPage.list.runInWsl":"Verifique as configurações para desabilitar a execução no WSL caso esteja enfrentando problemas de compatibilidade","execApprovalRequest.menu.runAlways":"Sim, e não perguntar novamente nesta sessão","execApprovalRequest.menu.runAlwaysWithAmendment":"Sim, e não pergunte novamente para comandos que começam com {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Sim, e não pergunte novamente para comandos que começam com","execApprovalRequest.menu.runOnce":"Sim","execApprovalRequest.prompt":"Você quer executar este comando?","execApprovalRequest.reject":"Não","execFooter.exitCode":"Código de saída {code}","execFooter.exitCode.unknown":"desconhecido","execFooter.success":"Sucesso","feedback.dialog.category.badResult":"Resultado ruim","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Resultado bom","feedback.dialog.category.other":"Outro","feedback.dialog.descriptionPlaceholder":"Descreva o problema aqui","feedback.dialog.dismiss":"Dispensar","feedback.dialog.includeLogsLabel":"Inclua registros da sessão atual do Codex","feedback.dialog.submit":"Enviar","feedback.dialog.submitError":"Não foi possível enviar o seu feedback. Tente novamente em breve.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"problema em aberto atual","feedback.dialog.uploadedMessage.openIssue":"abra um problema do GitHub","feedback.dialog.uploadedMessage.withThread":"Feedback carregado. Se o problema persistir, {openIssueLink} ou mencione o id do tópico em um {existingIssueLink}:","feedback.dialog.uploadedTitle":"Feedback carregado","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Remover {filename}","header.back":"Anterior","header.recentChats":"Tarefas","header.recentTasks.seeAll":"Exibir tudo ({total})","home.header.getPlus":"Assinar Plus","home.hero.letsBuild":"Vamos criar","homePage.mainContent":"Conteúdo principal","imageAttachment.defaultName":"imagem selecionada","imageAttachment.preview.close":"Fechar prévia da imagem","imageAttachment.removeAriaLabel":"Remover {filename}","implementPlanRequest.option.implement":"Sim, implementar este plano","implementPlanRequest.prompt":"Implementar este plano?","inbox.archived.deleteError":"Não foi possível excluir a execução arquivada","inbox.archived.deleteRun":"Excluir execução arquivada","inbox.archived.deleteSuccess":"Tópico arquivado excluído. Exibir em <settingsLink>Tópicos arquivados</settingsLink>.","inbox.archived.inlineLabel.auto":"Este tópico foi arquivado automaticamente. <learnMoreLink>Saiba mais</learnMoreLink>","inbox.archived.inlineLabel.manual":"Este tópico foi arquivado.","inbox.archived.noMessageFound":"Nenhuma mensagem encontrada","inbox.automations.createError":"Não foi possível criar a automação","inbox.automations.deleteConfirm.cancel":"Cancelar","inbox.automations.deleteConfirm.confirm":"Excluir automação?","inbox.automations.deleteConfirm.description":"Isto excluirá permanentemente a automação e interromperá quaisquer execuções futuras.","inbox.automations.deleteConfirm.title":"Excluir {name}?","inbox.automations.deleteError":"Não foi possível excluir a automação","inbox.automations.editTooltip":"Editar automação","inbox.automations.inProgress":"Em andamento","inbox.automations.new":"Novas","inbox.automations.newToolbar":"Nova automação","inbox.automations.pauseTooltip":"Pausar automação","inbox.automations.resumeTooltip":"Retomar automação","inbox.automations.startingNow":"Iniciando agora","inbox.automations.startsIn":"Começa em {startTime}","inbox.automations.status.active":"Ativa","inbox.automations.status.paused":"Em pausa","inbox.automations.status.runs":"{count} execuções","inbox.automations.status.started":"Iniciou {date}","inbox.automations.updateError":"Não foi possível atualizar a automação","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tudo","inbox.filter.ariaLabel":"Filtrar itens de caixa de entrada","inbox.filter.unread":"Não lidas","inbox.list.archived":"Arquivadas","inbox.list.inProgress":"Em andamento","inbox.list.recent":"Concluído","inbox.list.upNext":"Agendadas","inbox.mode.automations":"Automações","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nenhuma descrição fornecida","inbox.openThread":"Abrir tópico","inbox.rightPanel.emptySubtitle":"Automatize o trabalho configurando tarefas agendadas","inbox.rightPanel.emptySubtitle.learnMore":"Automatize o trabalho configurando tópicos agendados <link>Saiba mais</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automação ativa} many {# automações ativas} other {# automações ativas}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nenhuma automação não lida","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automação não lida} many {# automações não lidas} other {# automações não lidas}}","inbox.rightPanel.emptyTitle":"Nenhum item selecionado","inbox.rightPanel.noThread":"Nenhum tópico para este item","inbox.rightPanel.quickStart.header":"Começar com um modelo","inbox.untitled":"Item da caixa de entrada sem título","loadingPage.documentationLink":"documentação","loadingPage.errorDescription":"O Codex falhou com o seguinte erro:","loadingPage.errorDescription.documentation":"Clique em recarregar para reiniciar a extensão do Codex ou acesse nossa {documentationLink} para receber mais ajuda.","loadingPage.errorSignal":"Algumas coisas que você pode tentar:","loadingPage.errorTitle":"Ocorreu um erro","loadingPage.openConfigToml":"Abrir Config.toml","loadingPage.reload":"Recarregar","localConversation.contextCompacted":"Contexto compactado automaticamente","localConversation.contextCompacting":"Compactando o contexto automaticamente","localConversation.forkedFromConversation":"Bifurcado de {threadTitle}","localConversation.merge.autoResolve.failed":"A solicitação de resolução automática falhou: {error}","localConversation.merge.autoResolve.sent":"Solicitação de resolução automática enviada","localConversation.merge.autoResolveMerge.missingConversation":"Não foi possível resolver automaticamente sem uma conversa ativa.","localConversation.merge.autoResolveMerge.request":"Resolver automaticamente os conflitos de combinação","localConversation.modelChanged":"Modelo alterado de {fromModel} para {toModel}.","localConversation.modelChanged.warning.line1":"Trocar de modelo no meio da conversa degradará o desempenho.","localConversation.modelChanged.warning.line2":"O contexto pode ser compactado automaticamente.","localConversation.moveThread.createBranch.label":"Criar branch","localConversation.moveToLocal.disabled.loading":"Carregando…","localConversation.moveToLocal.modal.continue":"Continuar","localConversation.moveToLocal.modal.destinationLabel":"Mover para","localConversation.moveToLocal.modal.retry":"Repetir","localConversation.moveToWorktree.modal.back":"Anterior","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"O branch já existe.","localConversation.moveToWorktree.modal.branchesError":"Não foi possível carregar os branches","localConversation.moveToWorktree.modal.branchesLoading":"Carregando branches…","localConversation.moveToWorktree.modal.branchesRetry":"Repetir","localConversation.moveToWorktree.modal.continue":"Continuar","localConversation.moveToWorktree.modal.retry":"Repetir","localConversation.moveToWorktree.modal.trailingSlashError":'O nome do branch não pode terminar com "/".',"localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"novo-branch","localConversation.personalityChanged":"Alterado para a personalidade {personality}","localConversation.planSummary.collapse":"Recolher resumo do plano","localConversation.planSummary.collapseTooltip":"Minimizar","localConversation.planSummary.download":"Baixar plano","localConversation.planSummary.expand":"Expandir resumo do plano","localConversation.planSummary.expandTooltip":"Expandir","localConversation.planSummary.openInNewWindow":"Abrir","localConversation.planSummary.openInNewWindow.tooltip":"Abrir em uma nova janela","localConversation.planSummary.title":"Plano","localConversation.planSummary.titleWriting":"Plano de escrita","localConversation.planSummary.viewPlan":"Expandir plano","localConversation.remoteTaskCreated":"Criou {taskLink} no Codex Cloud","localConversation.remoteTaskCreated.task":"tarefa","localConversation.scrollToBottomButton":"Rolar até o final","localConversation.sync.buttonLabel":"Passar para o local","localConversation.sync.buttonLabel.tooltip":"Transfira as alterações entre esta árvore de trabalho e seu checkout local.","localConversation.sync.modal.loading.title":"Transferindo as alterações…","localConversation.sync.modal.noChanges":"Nenhuma alteração","localConversation.syncSetup.branchAriaLabel":"Nome do branch","localConversation.syncSetup.branchName":"Nome do branch","localConversation.syncSetup.branchPlaceholder.existing":"Selecionar branch existente","localConversation.syncSetup.branchPlaceholder.new":"codex/novo-recurso","localConversation.syncSetup.branchesLoading":"Carregando branches…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Checkout já feito","localConversation.syncSetup.checkoutClean":"Atualmente em {branchName}","localConversation.syncSetup.checkoutDirty":"Atualmente em {branchName} com alterações sem commit","localConversation.syncSetup.checkoutError":"Falha ao fazer checkout do branch: {message}","localConversation.syncSetup.checkoutLabel":"Fazer checkout local agora","localConversation.syncSetup.checkoutOnLocal":"Transferir para o local","localConversation.syncSetup.checkoutPending":"Verificando status local…","localConversation.syncSetup.checkoutUnavailable":"Espaço de trabalho local indisponível","localConversation.syncSetup.checkoutUnknown":"Branch local indisponível","localConversation.syncSetup.continue":"Continuar","localConversation.syncSetup.createBranchError":"Falha ao definir o branch de transferência: {message}","localConversation.syncSetup.error":"Algo de errado ocorreu: {message}","localConversation.syncSetup.error.workingTreeMissing":"Não foi possível criar um instantâneo da árvore de trabalho. Tente transferir novamente.","localConversation.syncSetup.mode.ariaLabel":"Selecionar modo de branch","localConversation.syncSetup.mode.existing":"Branch existente","localConversation.syncSetup.mode.new":"Novo branch","localConversation.syncSetup.noBranches":"Nenhum branch encontrado","localConversation.syncSetup.overwriteError":"O branch foi criado, mas não foi transferido totalmente. Transfira-o manualmente antes de fazer o checkout local.","localConversation.syncSetup.setPrefix":"Definir prefixo","localConversation.syncSetup.subtitle":"Teste e edite alterações de árvore de trabalho localmente. <a>Saiba mais</a>","localConversation.syncSetup.success.checkedOut":"O branch foi criado e o checkout foi efetuado localmente","localConversation.syncSetup.success.notCheckedOut":"Branch criado","localConversation.syncSetup.title":"Transferir para um branch local","localConversation.syncWorktreeError.branchAriaLabel":"Nome do branch","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/novo-recurso","localConversation.syncWorktreeError.branchSetup.subtitle":"Escolha um branch para transferir e, em seguida, tente carregar as alterações novamente.","localConversation.syncWorktreeError.branchSetup.title":"Atualizar branch","localConversation.syncWorktreeError.branchUpdate.cta":"Atualizar e tentar novamente","localConversation.syncWorktreeError.branchUpdate.error":"Falha ao atualizar o branch: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Algo de errado ocorreu: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"O branch não está com checkout efetuado em nenhuma árvore de trabalho.","localConversation.syncWorktreeV2.applyUncommitted":"Aplicar","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Você precisa fazer checkout do branch localmente para aplicar alterações não submetidas.","localConversation.syncWorktreeV2.branches.empty":"Nenhum branch encontrado","localConversation.syncWorktreeV2.branches.loading":"Carregando branches…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Alterar o branch de transferência","localConversation.syncWorktreeV2.changeBranch.error":"Falha ao alterar o branch de transferência: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Falha ao aplicar","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Falha ao sobrescrever a árvore de trabalho","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Falha ao sobrescrever o local","localConversation.syncWorktreeV2.commandError.back":"Anterior","localConversation.syncWorktreeV2.commandError.body":"Um comando do git falhou durante a transferência. Revise a saída e tente novamente.","localConversation.syncWorktreeV2.commandError.retry":"Repetir","localConversation.syncWorktreeV2.description":"Transfira alterações entre o local e esta árvore de trabalho <a>Saiba mais</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Selecione a direção da transferência","localConversation.syncWorktreeV2.error.generic":"Algo de errado ocorreu ao transferir. Tente novamente.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"Calculando alterações","localConversation.syncWorktreeV2.noChanges.summary":"Nenhuma alteração","localConversation.syncWorktreeV2.overwrite.local":"Sobrescrever local","localConversation.syncWorktreeV2.overwrite.worktree":"Sobrescrever árvore de trabalho","localConversation.syncWorktreeV2.partial.action.applyFailed":"Não foi possível aplicar as alterações","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Não foi possível sobrescrever as alterações locais","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Não foi possível sobrescrever as alterações da árvore de trabalho","localConversation.syncWorktreeV2.partial.appliedLabel":"Aplicados","localConversation.syncWorktreeV2.partial.back":"Anterior","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resolva os conflitos e tente novamente.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflitos","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# arquivo} many {# arquivos} other {# arquivos}}","localConversation.syncWorktreeV2.partial.retry":"Repetir","localConversation.syncWorktreeV2.partial.skippedLabel":"Ignorados","localConversation.syncWorktreeV2.stateFailed.generic":"Algo de errado ocorreu ao buscar as alterações da árvore de trabalho para transferir. Tente novamente.","localConversation.syncWorktreeV2.stateFailed.title":"Falha ao carregar alterações da árvore de trabalho","localConversation.syncWorktreeV2.statusError.diffUnknown":"Falha ao carregar alterações da árvore de trabalho","localConversation.syncWorktreeV2.statusError.retry":"Repetir","localConversation.syncWorktreeV2.statusError.title":"Não foi possível carregar as alterações do branch local","localConversation.syncWorktreeV2.statusError.unknown":"O status do branch não está disponível no momento. Tente novamente.","localConversation.syncWorktreeV2.success.apply":"Alterações aplicadas com sucesso","localConversation.syncWorktreeV2.success.overwrite":"Transferência concluída","localConversation.syncWorktreeV2.title":"Transferir alterações","localConversation.syncWorktreeV2.worktreeLabel":"Árvore de trabalho","localConversation.userInputRequest.inProgress":"Fazendo {count, plural, one {pergunta} many {perguntas} other {perguntas}}","localConversation.userInputRequest.noAnswer":"Nenhuma resposta fornecida","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Fez","localConversation.userInputRequest.summary.count":"{count, plural, one {# pergunta} many {# perguntas} other {# perguntas}}","localConversation.workedFor":"Trabalhou por {time}","localConversation.worktreeBranchSetup.action.create":"Criar","localConversation.worktreeBranchSetup.branchAriaLabel":"Nome do branch","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Criar um novo branch","localConversation.worktreeBranchSetup.checkoutDisabled":"O checkout deste branch já foi efetuado em {location}","localConversation.worktreeBranchSetup.checkoutError":"Falha ao fazer checkout do branch: {message}","localConversation.worktreeBranchSetup.createBranchError":"Falha ao definir branch: {message}","localConversation.worktreeBranchSetup.error":"Algo de errado ocorreu: {message}","localConversation.worktreeBranchSetup.subtitle":"Crie um branch para fazer commit das mudanças, efetuar push e criar um PR a partir desta árvore de trabalho. <a>Saiba mais</a>","localConversation.worktreeBranchSetup.title":"Trabalhar aqui","localConversationPage.addWorktreeToSidebar.tooltip":"Salve como projeto para que você possa iniciar novos tópicos a partir desta árvore de trabalho","localConversationPage.addWorktreeToSidebarError":"Falha ao adicionar projeto","localConversationPage.commitAndCreatePrModal.errorTitle":"Falha ao fazer commit e criar PR","localConversationPage.commitAndCreatePrModal.successTitle":"Commit feito e PR criado","localConversationPage.commitAndPushModal.errorTitle":"Falha ao fazer commit e efetuar push","localConversationPage.commitAndPushModal.successTitle":"Commit e push das alterações efetuados","localConversationPage.commitCreatePr.open":"Abrir pull request","localConversationPage.commitCreatePr.successTitle":"PR criado com suas últimas alterações","localConversationPage.createBranchButtonLabel":"Criar branch aqui","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Criar PR","localConversationPage.createPrModal.createDescription":"Abrir um pull request para suas últimas alterações.","localConversationPage.createPrModal.errorTitle":"O pull request falhou","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Abrir PR","localConversationPage.createPrModal.successTitle":"Pull request criado","localConversationPage.createPrModal.title":"Criar pull request","localConversationPage.createPrModal.viewDescription":"Já existe um pull request para este branch.","localConversationPage.createPrModal.viewTitle":"Pull request pronto","localConversationPage.createPullRequestAuthGh":"Autentique o GitHub CLI: execute `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informações da branch indisponíveis","localConversationPage.createPullRequestButtonLabel":"Criar PR","localConversationPage.createPullRequestButtonLabel.loading":"Criando PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Informações da branch padrão indisponíveis","localConversationPage.createPullRequestError":"Falha ao criar pull request","localConversationPage.createPullRequestExistingPullRequest":"Já existe um pull request para este branch","localConversationPage.createPullRequestGhStatusMissing":"Carregando status do GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Instale o GitHub CLI (gh) para criar PRs","localConversationPage.createPullRequestNoRepo":"Nenhum repositório Git encontrado","localConversationPage.createPullRequestPushStatusMissing":"Carregando status do push…","localConversationPage.createPullRequestSetUpstream":"Efetue o push deste branch antes de criar um PR","localConversationPage.createPullRequestSuccessToast":"Pull request criado","localConversationPage.createPullRequestSwitchBranch":"Confira um branch de funcionalidade antes de criar um PR","localConversationPage.error.render":"Erro ao renderizar a conversa local","localConversationPage.error.toast":"Conversa não encontrada","localConversationPage.forcePushError":"O push forçado falhou","localConversationPage.generatePullRequestMessageError":"Falha ao gerar o corpo e o título do pull request.","localConversationPage.generatePullRequestMessageFailed":"Falha ao gerar o corpo e o título do pull request.","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Cancelar","localConversationPage.gitActionResult.close":"Fechar","localConversationPage.gitActionResult.tryAgain":"Tentar de novo","localConversationPage.gitActions":"Ações do Git","localConversationPage.newChat":"Novo chat","localConversationPage.openInTarget":"Abrir em","localConversationPage.openPrimaryTarget":"Abrir","localConversationPage.planItemsCompleted":"{completedItems} de {totalItems, plural, one {# tarefa concluída} many {# tarefas concluídas} other {# tarefas concluídas}}","localConversationPage.pushAuthError":"Falha no push: autenticação obrigatória","localConversationPage.pushBranchMissing":"Informações da branch indisponíveis","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Efetuando push…","localConversationPage.pushError":"Falha ao efetuar push das alterações","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Cancelar","localConversationPage.pushModal.confirm":"Efetuar push","localConversationPage.pushModal.description":"Efetue o push dos seus últimos commits para o repositório remoto.","localConversationPage.pushModal.errorTitle":"O push falhou","localConversationPage.pushModal.forcePush":"Push forçado","localConversationPage.pushModal.successTitle":"Push concluído","localConversationPage.pushModal.title":"Efetuar push das alterações","localConversationPage.pushModal.tryAgain":"Tentar de novo","localConversationPage.pushNoUpstream":"Configure um upstream antes de efetuar o push deste branch","localConversationPage.pushNoUpstreamError":"Falha no push: nenhum upstream configurado","localConversationPage.pushNothingToPush":"Nenhum commit novo para efetuar push","localConversationPage.pushRemoteChangedError":"Falha no push: o repositório remoto tem novos commits","localConversationPage.pushRemoteRejectedError":"Push recusado pelo repositório remoto","localConversationPage.pushStatusMissing":"Carregando status do push…","localConversationPage.pushSuccessToast":"Push de alterações efetuado","localConversationPage.viewPullRequestButtonLabel":"Exibir PR","localConversationPage.viewPullRequestButtonLabel.loading":"Carregando pull request…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# arquivo} many {# arquivos} other {# arquivos}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} many {# listas} other {# listas}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# busca} many {# buscas} other {# buscas}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Explorando","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Explorou","localConversationTurn.exploration.accordion.header.complete.withCounts":"Explorando {counts}","localConversationTurnStory.showContent":"Exibir conteúdo","localConversationTurnStory.streamContent":"Transmitir conteúdo","localConversationTurnStory.toggleReasoning":"Exibir raciocínio","localTaskRow.archiveError":"Falha ao arquivar a conversa","localTaskRow.resumeError":"Falha ao retomar a tarefa","mermaidDiagram.ariaLabel":"Diagrama Mermaid","mermaidDiagram.copySource":"Copiar código Mermaid","mermaidDiagram.originalCode":"Código-fonte Mermaid","notifications.permissions.description":"Exibir alertas quando permissões de notificação forem necessárias","notifications.permissions.label":"Habilitar notificações de permissão","notifications.turnMode.always":"Sempre","notifications.turnMode.description":"Defina quando o Codex te avisa que terminou","notifications.turnMode.label":"Habilitar notificações de conclusão","notifications.turnMode.off":"Nunca","notifications.turnMode.unfocused":"Apenas quando não estiver em foco","patchApprovalRequest.approve":"Aprovar","patchApprovalRequest.menu.allowAlways":"Sim, e não perguntar novamente nesta sessão","patchApprovalRequest.menu.allowForSession":"Sim, e não perguntar novamente nesta sessão","patchApprovalRequest.menu.allowOnce":"Sim","patchApprovalRequest.prompt":"Você quer fazer estas alterações?","patchApprovalRequest.reject":"Não","patchApprovalRequest.waitingForApproval":"Aguardando aprovação para editar arquivos","pendingRequest.approvalExec.collapse":"Minimizar","pendingRequest.approvalExec.expand":"Expandir","pendingRequestStory.toastAnswer":"Resposta: {answer}","pendingRequestStory.toastApprovalTitle":"Resposta de aprovação","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Sequência enviada","pendingRequestStory.toastNoAnswers":"Nenhuma resposta fornecida","pendingRequestStory.toastQuestion":"Pergunta: {question}","pendingRequestStory.toastUnknownDecision":"Desconhecido","pendingRequestStory.toastUserInputTitle":"Respostas submetidas","quickAction.request.codeReview.branches.new":"Revise as alterações de {from} em relação a {to}","quickAction.request.codeReview.uncommitted.new":"Revise minhas alterações sem commit","reasoningItem.thinking":"Pensando","reasoningItem.thought":"Pensou","reasoningItem.thoughtWithElapsed":"Pensou por {elapsed}","recentConversations.title":"Conversas recentes","recentTasks.worktreeInitFailedTitle":"Falha ao inicializar a árvore de trabalho","recentTasks.worktreeSettingUpTitle":"Configurando árvore de trabalho","requestInputPanel.continue":"Continuar","requestInputPanel.dismiss":"Dispensar","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Digite aqui","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Não, e diga ao Codex o que fazer diferente","requestInputPanel.selectedBadge":"Selecionado","requestInputPanel.skip":"Pular","requestInputPanel.submit":"Enviar","review.commit.ariaLabel.includeUnstaged":"Incluir não marcados para commit","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Fazendo commit…","review.commit.disabled.loadingDiff":"Carregando diff…","review.commit.disabled.missingContext":"Adicione contexto para gerar uma mensagem de commit","review.commit.disabled.noChanges":"Nenhuma alteração para submeter","review.commit.disabled.noSelection":"Selecione alterações para submeter","review.commit.disabled.unavailable":"O commit não está disponível no momento","review.commit.error":"Falha no commit das alterações","review.commit.form.changesToBeCommitted":"Alterações","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuar","review.commit.form.title":"Fazer commit das suas alterações","review.commit.generate.emptyResponse":"Não foi possível gerar uma mensagem de commit.","review.commit.generate.failed":"Falha ao gerar mensagem de commit: {error}","review.commit.generate.missingPrompt":"Adicione contexto para gerar uma mensagem de commit.","review.commit.includeUnstaged":"Incluir não marcados para commit","review.commit.loading.description":"Aguarde, isso pode levar alguns instantes…","review.commit.loading.step.commit.done":"Commit das alterações feito","review.commit.loading.step.commit.pending":"Commit das alterações em curso","review.commit.loading.step.createPr.done":"Pull request criado","review.commit.loading.step.createPr.pending":"Criando pull request","review.commit.loading.step.push.done":"Push efetuado para o branch {branch}","review.commit.loading.step.push.pending":"Efetuando push para o branch {branch}","review.commit.loading.title.commit":"Commit das alterações em curso","review.commit.loading.title.createPr":"Criando um PR","review.commit.loading.title.push":"Efetuando push das alterações","review.commit.messageLabel":"Mensagem do commit","review.commit.messagePlaceholder":"Deixe em branco para gerar uma mensagem de commit automaticamente","review.commit.nextSteps":"Próximos passos","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Fazer commit e criar PR","review.commit.nextSteps.commitAndPush":"Fazer commit e efetuar push","review.commit.nextSteps.prRequiresGh":"Exige o GitHub CLI: {command}","review.commit.rows.changes":"Alterações","review.commit.rows.commitCount":"{count, plural, one {# commit} many {# commits} other {# commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} many {# commits} other {# commits}} e {stats}","review.commit.rows.fileCount":"{count, plural, one {# arquivo} many {# arquivos} other {# arquivos}}","review.commit.state.error.body":"Algo deu errado durante o commit. Verifique o git status e tente novamente.","review.commit.state.error.title":"Falha no commit","review.commit.state.success.title":"Commit das alterações feito","review.commit.untracked.loadingStats":"Carregando estatísticas de diff não rastreadas…","reviewFindingAttachments.count":"{count, plural, one {# achado} many {# achados} other {# achados}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Edite sua configuração para personalizar o comportamento do agente","settings.agent.configuration.configToml.docs":"Documentos","settings.agent.configuration.configToml.restartNote":"Reinicie o Codex após editar para aplicar as alterações","settings.agent.configuration.subtitle":"Essas configurações se aplicam a qualquer lugar em que o Codex seja usado","settings.automations.banner.danger":"As automações são executadas com as configurações padrão da sua área restrita, que atualmente estão definidas como acesso total. Executar automações em segundo plano com acesso total implica em um risco mais elevado, pois o Codex pode modificar arquivos, executar comandos e acessar a rede sem solicitação. Considere atualizar as configurações da área restrita para escrita no espaço de trabalho e usar <rulesDocsLink>regras</rulesDocsLink> para definir seletivamente quais comandos o agente pode executar com acesso total.","settings.automations.banner.defaultHowTo.default":"As automações são executadas com as configurações padrão da sua área restrita. Chamadas de ferramentas falharão se exigirem modificar arquivos fora do espaço de trabalho, acessar a rede ou trabalhar com aplicativos no seu computador. Você pode permitir seletivamente comandos para rodar fora da área restrita usando <rulesDocsLink>regras</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"As automações são executadas com as configurações padrão da sua área restrita, que estão definidas como somente leitura. Chamadas de ferramentas falharão se exigirem modificar arquivos, acessar a rede ou trabalhar com aplicativos no seu computador. Considere atualizar as configurações da área restrita para escrita no espaço de trabalho.","settings.automations.cancel":"Cancelar","settings.automations.create":"Criar","settings.automations.cwdEmpty":"Nenhuma pasta de projeto disponível","settings.automations.cwdLabel":"Projetos","settings.automations.cwdPlaceholder":"Escolha uma pasta","settings.automations.cwdSubtitle":"Se você quiser que uma automação rode em um branch específico, pode especificar isso no seu prompt.","settings.automations.delete":"Excluir","settings.automations.dialog.editTitle":"Editar automação","settings.automations.dialog.newTitle":"Nova automação","settings.automations.dialog.subtitle":"Automatize tarefas recorrentes em segundo plano. O Codex adiciona descobertas à caixa de entrada ou arquiva automaticamente a tarefa se não houver nada a reportar. <learnMoreLink>Saiba mais</learnMoreLink>","settings.automations.dialog.title":"Criar automação","settings.automations.executionCopy.git":"As automações são executadas em segundo plano em árvores de trabalho dedicadas.","settings.automations.executionCopy.nonGit":"Automações em projetos sem controle de versão rodam diretamente no diretório do projeto. Considere usar o Git para habilitar a execução em árvores de trabalho no segundo plano.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Árvore de trabalho","settings.automations.loading":"Carregando…","settings.automations.nameLabel":"Nome","settings.automations.namePlaceholder":"Verifique problemas de sentinela","settings.automations.pause":"Pausar","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"busque falha em $Sentry","settings.automations.resume":"Retomar","settings.automations.rruleSummaryFallback":"Cronograma personalizado","settings.automations.runNow":"Testar","settings.automations.save":"Salvar","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Dias úteis","settings.automations.scheduleBadge.weekends":"Fins de semana","settings.automations.scheduleHeader":"Agendar","settings.automations.scheduleHours":"horas","settings.automations.scheduleLabel":"Executar a cada","settings.automations.scheduleMode.daily":"Diariamente","settings.automations.scheduleMode.interval":"Intervalo","settings.automations.scheduleModeLabel":"Tipo de agendamento","settings.automations.scheduleSummary.daily":"Diariamente, à(s) {time}","settings.automations.scheduleSummary.interval":"A cada {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dia} many {# dias} other {# dias}}","settings.automations.scheduleSummary.intervalDays":"{interval} na(o) {days}","settings.automations.scheduleSummary.intervalHourly":"De hora em hora","settings.automations.scheduleSummary.singleDay":"{day} à(s) {time}","settings.automations.scheduleSummary.weekdays":"Dias úteis à(s) {time}","settings.automations.scheduleSummary.weekdaysLabel":"dias úteis","settings.automations.scheduleSummary.weekends":"Dias úteis à(s) {time}","settings.automations.scheduleSummary.weekendsLabel":"fins de semana","settings.automations.scheduleSummary.weekly":"{days} à(s) {time}","settings.automations.scheduleWeekdays":"Ativada","settings.automations.weekdayState.excluded":"Excluído","settings.automations.weekdayState.included":"Incluído","settings.conversationDetail.steps":"Etapas","settings.conversationDetail.steps.description":"Ocultar comandos e saídas","settings.conversationDetail.stepsWithCommands":"Etapas com comandos de código","settings.conversationDetail.stepsWithCommands.description":"Exibir comandos, recolher saída","settings.conversationDetail.stepsWithOutput":"Etapas com saída de código","settings.conversationDetail.stepsWithOutput.description":"Exibir comandos e expandir saída","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Sem chats arquivados.","settings.dataControls.archivedChats.error":"Não foi possível carregar os chats arquivados.","settings.dataControls.archivedChats.loading":"Carregando chats arquivados…","settings.dataControls.archivedChats.unarchive":"Desarquivar","settings.dataControls.archivedChats.unarchiveError":"Falha ao desarquivar o chat","settings.dataControls.archivedChats.unarchiveSuccess":"Tópico desarquivado. <viewNowLink>Exibir agora</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Tópico desarquivado.","settings.dataControls.archivedChats.untitled":"Chat sem título","settings.dataControls.archivedChats.viewNow":"Exibir agora","settings.editRow.headerPlaceholder":"Chave","settings.editRow.removeEntry":"Remover entrada","settings.editRow.valuePlaceholder":"Valor","settings.general.appearance":"Aparência","settings.general.appearance.codeFont":"Fonte do código","settings.general.appearance.codeFont.description":"Ajuste a fonte e o tamanho usados para código em chats e diffs","settings.general.appearance.codeFontFamily":"Família de fonte do código","settings.general.appearance.codeFontSize":"Tamanho da fonte do código","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Fazer as janelas usarem um fundo sólido ao invés da transparência do sistema","settings.general.appearance.opaqueWindows.label":"Usar fundo opaco da janela","settings.general.appearance.sansFontFamily":"Família de fonte Sans","settings.general.appearance.sansFontFamily.description":"Ajuste a fonte usada na interface do Codex","settings.general.appearance.sansFontSize":"Tamanho da fonte Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Mostrar efeitos de comemoração em tela cheia enquanto o GPT-5.3-Codex-Spark executa o primeiro turno","settings.general.appearance.sparkCelebrationEffects.label":"Efeitos de comemoração do Spark","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Escuro","settings.general.appearance.theme.description":"Usar claro, escuro ou igual ao sistema","settings.general.appearance.theme.light":"Claro","settings.general.appearance.theme.system":"Sistema","settings.general.appearance.usePointerCursors.description":"Alterar o cursor para um ponteiro ao passar o mouse sobre elementos interativos","settings.general.appearance.usePointerCursors.label":"Usar cursores de ponteiro","settings.general.enterBehavior.description":"Quando habilitado, prompts com várias linhas exigem {modifierSymbol} + enter para enviar","settings.general.enterBehavior.label":"Exigir {modifierSymbol} + enter para enviar prompts longos","settings.general.experimentalFeatures":"Recursos experimentais (Beta)","settings.general.experimentalFeatures.empty":"Não há recursos experimentais beta disponíveis.","settings.general.experimentalFeatures.loading":"Carregando recursos experimentais…","settings.general.experimentalFeatures.restartNote":"Reinicie o Codex para aplicar as alterações experimentais de recursos","settings.general.experimentalFeatures.toggle":"Alternar {featureName}","settings.general.followUpQueueMode.description":"Ordene acompanhamentos enquanto o Codex roda ou direcione a execução atual. Pressione {invertFollowUpShortcutLabel} para fazer o oposto por uma mensagem.","settings.general.followUpQueueMode.interrupt":"Direcionar","settings.general.followUpQueueMode.label":"Comportamento da sequência","settings.general.followUpQueueMode.queue":"Ordenar","settings.general.notifications":"Notificações","settings.general.power.preventSleepWhileRunning.description":"Manter o computador ativo enquanto o Codex executa uma tarefa.","settings.general.power.preventSleepWhileRunning.label":"Impedir suspensão durante a execução","settings.git.branchPrefix.ariaLabel":"Prefixo do branch","settings.git.branchPrefix.description":"Prefixo usado ao criar novos branches no Codex","settings.git.branchPrefix.label":"Prefixo do branch","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Falha ao salvar o prefixo do branch","settings.git.branchPrefix.save.success":"Prefixo do branch salvo","settings.git.commitInstructions.ariaLabel":"Instruções de commit","settings.git.commitInstructions.description":"Adicionado aos prompts de geração de mensagem de commit","settings.git.commitInstructions.label":"Instruções de commit","settings.git.commitInstructions.placeholder":"Adicionar orientações para mensagem de commit…","settings.git.commitInstructions.save":"Salvar","settings.git.commitInstructions.save.error":"Falha ao salvar as instruções de commit","settings.git.commitInstructions.save.success":"Instruções de commit salvas","settings.git.forcePush.ariaLabel":"Sempre forçar push","settings.git.forcePush.description":"Use --force-with-lease ao efetuar push a partir do Codex","settings.git.forcePush.label":"Sempre forçar push","settings.git.forcePush.save.disabled":"Sempre forçar push desabilitado","settings.git.forcePush.save.enabled":"Sempre forçar push habilitado","settings.git.forcePush.save.error":"Falha ao salvar a configuração forçar push","settings.git.prInstructions.ariaLabel":"Instruções de pull request","settings.git.prInstructions.description":"Anexado aos corpos de pull requests criados pelo Codex","settings.git.prInstructions.label":"Instruções de pull request","settings.git.prInstructions.placeholder":"Adicionar orientações para pull request…","settings.git.prInstructions.save":"Salvar","settings.git.prInstructions.save.error":"Falha ao salvar as instruções de pull request","settings.git.prInstructions.save.success":"Instruções de pull request salvas","settings.ide.defaultOpenTarget.description":"Onde arquivos e pastas abrem por padrão","settings.ide.defaultOpenTarget.label":"Destino padrão ao abrir","settings.ide.defaultOpenTarget.placeholder":"Nenhum alvo encontrado","settings.ide.language.auto":"Autodetectar","settings.ide.language.autoOption":"Autodetectar","settings.ide.language.description":"Idioma da interface do aplicativo","settings.ide.language.label":"Idioma","settings.ide.language.search":"Buscar idiomas","settings.layout.actionButton":"Reiniciar extensão","settings.layout.actionTitle":"Configurações com ação","settings.layout.fullWidthTitle":"Configurações (largura total)","settings.layout.title":"Configurações","settings.localEnvironments.actions.add":"Adicionar ação","settings.localEnvironments.actions.add.description":"Crie um novo comando para executar a partir da barra de ferramentas.","settings.localEnvironments.actions.add.save":"Salvar","settings.localEnvironments.actions.empty":"Adicione uma ação para executar comandos a partir da barra de ferramentas local.","settings.localEnvironments.actions.icon.debug":"Depurar","settings.localEnvironments.actions.icon.run":"Executar","settings.localEnvironments.actions.icon.test":"Testar","settings.localEnvironments.actions.icon.tool":"Ferramenta","settings.localEnvironments.actions.item.button.delete":"Excluir","settings.localEnvironments.actions.item.command":"Script da ação","settings.localEnvironments.actions.item.name":"Nome","settings.localEnvironments.actions.item.platforms":"Plataformas","settings.localEnvironments.actions.item.platforms.help":"Executar apenas em um sistema operacional específico.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Seleção de plataforma","settings.localEnvironments.actions.item.platforms.specific":"Específico da plataforma","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Excluir","settings.localEnvironments.actions.title":"Ações","settings.localEnvironments.breadcrumb.back":"Anterior","settings.localEnvironments.breadcrumb.edit":"editar","settings.localEnvironments.breadcrumb.root":"Ambientes","settings.localEnvironments.environment.actions.description":"Essas ações podem executar qualquer comando e serão exibidas no cabeçalho.","settings.localEnvironments.environment.actionsLabel":"Ações","settings.localEnvironments.environment.create":"Criar ambiente local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Editar ambiente local","settings.localEnvironments.environment.empty":"Nenhum ambiente local foi configurado para este projeto ainda.","settings.localEnvironments.environment.name":"Nome","settings.localEnvironments.environment.setup":"Script de configuração","settings.localEnvironments.environment.setup.description":"Este script será executado na criação do espaço de trabalho.","settings.localEnvironments.environment.setup.hint":"Roda na raiz do projeto.","settings.localEnvironments.environment.setup.platformOverrides":"Substituições da plataforma","settings.localEnvironments.environment.setup.platformOverrides.add":"Adicionar script de configuração {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Substitui o script padrão para sistemas operacionais específicos.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Remover","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Detalhes do ambiente","settings.localEnvironments.file.missing":"Salvar para criar este arquivo pela primeira vez.","settings.localEnvironments.file.parseError":"Não foi possível analisar o arquivo existente. Ao salvá-lo, ele será sobrescrito. ({error})","settings.localEnvironments.file.path":"Arquivo: {path}","settings.localEnvironments.file.readError":"Falha ao carregar os dados do ambiente local. ({error})","settings.localEnvironments.file.title":"Arquivo de ambiente local","settings.localEnvironments.loading.body":"Buscando a configuração do seu projeto","settings.localEnvironments.loading.title":"Carregando ambientes locais","settings.localEnvironments.preview.devOnly":"(Apenas DEV)","settings.localEnvironments.preview.save":"Salvar","settings.localEnvironments.preview.saveError":"Falha ao salvar o arquivo. ({error})","settings.localEnvironments.preview.title":"Prévia","settings.localEnvironments.save.disabled.name":"Adicione um nome de ambiente para salvar.","settings.localEnvironments.save.disabled.noChanges":"Não há alterações para salvar.","settings.localEnvironments.save.disabled.saving":"Salvando…","settings.localEnvironments.save.success":"Ambiente local salvo","settings.localEnvironments.unavailable.body":"Não foi possível carregar as configurações do ambiente local para este projeto.","settings.localEnvironments.unavailable.title":"Ambientes locais indisponíveis","settings.localEnvironments.workspace.add":"Adicionar projeto","settings.localEnvironments.workspace.title":"Projeto","settings.localEnvironments.workspaceSelect.addLabel":"Adicionar ambiente","settings.localEnvironments.workspaceSelect.description":"Ambientes locais informam ao Codex como configurar árvores de trabalho para um projeto. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Nenhum projeto ainda. Adicione um para configurar ambientes locais.","settings.localEnvironments.workspaceSelect.errorLabel":"O ambiente precisa de atenção","settings.localEnvironments.workspaceSelect.learnMore":"Saiba mais","settings.localEnvironments.workspaceSelect.listLabel":"Projetos disponíveis","settings.localEnvironments.workspaceSelect.loading":"Carregando projetos.","settings.localEnvironments.workspaceSelect.loadingLabel":"Carregando ambiente","settings.localEnvironments.workspaceSelect.title":"Selecione um projeto","settings.localEnvironments.workspaceSelect.viewAction":"Exibir","settings.mcp.addServer":"Adicionar servidor","settings.mcp.app.configure":"Configurar","settings.mcp.app.connect":"Conectar","settings.mcp.apps.refresh":"Atualizar","settings.mcp.detail.addArgument":"Adicionar argumento","settings.mcp.detail.addEnvVar":"Adicionar variável de ambiente","settings.mcp.detail.addEnvVarPassthrough":"Adicionar variável","settings.mcp.detail.args":"Argumentos","settings.mcp.detail.back":"Anterior","settings.mcp.detail.command":"Comando para iniciar","settings.mcp.detail.cwd":"Diretório de trabalho","settings.mcp.detail.docs":"Abrir documentação de MCP","settings.mcp.detail.docs.link":"Documentos","settings.mcp.detail.envVarPassthrough":"Encaminhamento de variáveis do ambiente","settings.mcp.detail.envVars":"Variáveis do ambiente","settings.mcp.detail.http.addEnvHeader":"Adicionar variável","settings.mcp.detail.http.addHeader":"Adicionar cabeçalho","settings.mcp.detail.http.bearerToken":"Variável de ambiente de token do portador","settings.mcp.detail.http.envHeaders":"Cabeçalhos a partir de variáveis do ambiente","settings.mcp.detail.http.headers":"Cabeçalhos","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nome","settings.mcp.detail.save":"Salvar","settings.mcp.detail.switchTransportNotice":"Se quiser alterar o tipo de servidor de MCP, faça a desinstalação primeiro.","settings.mcp.detail.titleExisting":"Atualizar MCP de {name}","settings.mcp.detail.titleNew":"Conectar a um MCP personalizado","settings.mcp.detail.transport.http":"HTTP com streaming","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Desinstalar","settings.mcp.empty":"Nenhum servidor MCP personalizado conectado","settings.mcp.myServers":"Servidores personalizados","settings.mcp.partnerServer.description.figma":"Gere um código melhor trazendo todo o contexto do Figma","settings.mcp.partnerServer.description.github":"Integre com as APIs do GitHub para automatizar fluxos de trabalho e extrair dados","settings.mcp.partnerServer.description.linear":"Integre com o rastreamento de problemas e o gerenciamento de projetos do Linear","settings.mcp.partnerServer.description.notion":"Leia documentos, atualize páginas e gerencie tarefas","settings.mcp.partnerServer.description.playwright":"Integre a automação do navegador para implementar designs e testar IU.","settings.mcp.partnerServer.install":"Instalar","settings.mcp.partnerServer.installAndAuthenticate":"Instalar e autenticar","settings.mcp.partnerServer.logoAlt":"Logotipo {label}","settings.mcp.partnerServer.manage":"Gerenciar","settings.mcp.partnerServer.vendor":"por {vendor}","settings.mcp.recommendedServers":"Servidores recomendados","settings.mcp.restartApp":"Reiniciar","settings.mcp.restartExtension":"Reiniciar extensão","settings.mcp.server.enable":"Habilitar","settings.mcp.server.login":"Autenticar","settings.mcp.server.settings":"Configurações","settings.multiselect.createOption":'Criar "{value}"',"settings.multiselect.removeOption":"Remover","settings.nav.account":"Conta","settings.nav.agent":"Configuração","settings.nav.ariaLabel":"Configurações","settings.nav.back":"Voltar ao aplicativo","settings.nav.data-controls":"Tópicos arquivados","settings.nav.environments":"Ambientes de nuvem","settings.nav.externalTooltip":"[alfa] Abre no navegador","settings.nav.general-settings":"Geral","settings.nav.git-settings":"Git","settings.nav.local-environments":"Ambientes","settings.nav.mcp-settings":"Servidores MCP","settings.nav.notImplemented":"[alfa] Indisponível em Alfa","settings.nav.personalization":"Personalização","settings.nav.skills-settings":"Habilidades","settings.nav.usage-analytics":"Uso e analítica","settings.nav.worktrees":"Árvores de trabalho","settings.openSourceLicenses.back":"Anterior","settings.openSourceLicenses.loading":"Carregando…","settings.openSourceLicenses.missing":"Nenhum aviso de terceiros foi encontrado.","settings.openSourceLicenses.notSupported":"Não disponível neste host.","settings.openSourceLicenses.rowDescription":"Avisos de terceiros para dependências incluídas no pacote","settings.openSourceLicenses.rowLabel":"Licenças de código aberto","settings.openSourceLicenses.subtitle":"Avisos de terceiros para dependências incluídas neste aplicativo","settings.openSourceLicenses.title":"Licenças de código aberto","settings.openSourceLicenses.view":"Exibir","settings.personalization.agents.description":"Edite instruções e personalize o Codex para você. {learnMore}","settings.personalization.agents.learnMore":"Saiba mais","settings.personalization.agents.loadError":"Não foi possível carregar agents.md.","settings.personalization.agents.loading":"Carregando agents.md…","settings.personalization.agents.placeholder":"Adicione suas instruções personalizadas…","settings.personalization.agents.retry":"Repetir","settings.personalization.agents.save":"Salvar","settings.personalization.agents.save.error":"Não foi possível salvar agents.md","settings.personalization.agents.save.success":"Arquivo agents.md salvo","settings.personalization.agents.title":"Instruções personalizadas","settings.personalization.personality.description":"Escolha o tom padrão para as respostas do Codex","settings.personalization.personality.label":"Personalidade","settings.sample.contentBody":"Use esta disposição para montar os painéis de configurações com espaçamento consistente.","settings.sample.contentTitle":"Bloco de conteúdo de exemplo","settings.section.account":"Conta","settings.section.agent":"Configuração","settings.section.data-controls":"Tópicos arquivados","settings.section.environments":"Ambientes de nuvem","settings.section.external":"Abre no seu navegador durante o Alfa","settings.section.general-settings":"Geral","settings.section.git-settings":"Git","settings.section.local-environments":"Ambientes","settings.section.mcp-settings":"Servidores MCP","settings.section.mcp-settings.docs":"Documentos","settings.section.mcp-settings.subtitle":"Conecte ferramentas externas e fontes de dados.","settings.section.personalization":"Personalização","settings.section.skills-settings":"Habilidades","settings.section.unavailable":"Ainda não disponível no Alfa","settings.section.usage-analytics":"Uso e analítica","settings.section.worktrees":"Árvores de trabalho","settings.threadDetail.description":"Escolher quanto da saída de comandos será exibida em tópicos","settings.threadDetail.label":"Detalhes do tópico","settings.worktrees.conversation.untitled":"Conversa sem título","settings.worktrees.delete.error":"Falha ao excluir árvore de trabalho","settings.worktrees.empty.body":"As árvores de trabalho criadas pelo Codex serão exibidas aqui.","settings.worktrees.empty.title":"Nenhuma árvore de trabalho ainda","settings.worktrees.error.body":"Algo deu errado ao carregar árvores de trabalho.","settings.worktrees.error.retry":"Repetir","settings.worktrees.error.title":"Não foi possível carregar árvores de trabalho","settings.worktrees.loading.body":"Buscando detalhes da árvore de trabalho.","settings.worktrees.loading.title":"Carregando árvores de trabalho","settings.worktrees.repository.loading":"Carregando metadados do repositório…","settings.worktrees.repository.unknown":"Repositório desconhecido","settings.worktrees.row.conversations":"Conversas","settings.worktrees.row.conversations.empty":"Nenhuma conversa vinculada a esta árvore de trabalho.","settings.worktrees.row.conversations.loading":"Carregando conversas…","settings.worktrees.row.delete":"Excluir","settings.worktrees.row.title":"Árvore de trabalho","sidebarElectron.addWorkspaceRoot":"Adicionar novo projeto","sidebarElectron.archiveThread":"Arquivar tópico","sidebarElectron.archiveThreadError":"Não foi possível arquivar o tópico","sidebarElectron.collapseFolder":"Minimizar pasta","sidebarElectron.createStableWorktree.dialog.cancel":"Cancelar","sidebarElectron.createStableWorktree.dialog.create":"Criar","sidebarElectron.debugNavLink":"Depurar","sidebarElectron.editWorkspaceRootOptionName":"Editar nome","sidebarElectron.expandFolder":"Expandir pasta","sidebarElectron.groupByMenu.recency":"Lista cronológica","sidebarElectron.groupByMenu.title":"Organizar","sidebarElectron.groupByMenu.workspace":"Por projeto","sidebarElectron.inboxRouteNavLink":"Automações","sidebarElectron.markThreadUnread":"Marcar como não lido","sidebarElectron.missingWorkspaceRoot":"A pasta deste projeto foi excluída ou movida","sidebarElectron.newThread":"Novo tópico","sidebarElectron.newThreadInGroup":"Iniciar novo tópico em {folder}","sidebarElectron.noRecentThreads":"Nenhum tópico recente","sidebarElectron.noTasks":"Nenhum tópico","sidebarElectron.noTasks.start":"Adicionar um novo projeto","sidebarElectron.noTasksWithFilter":"Nenhum tópico corresponde aos filtros","sidebarElectron.pinnedThreads":"Tópicos fixados","sidebarElectron.recentNavLink":"Tópicos","sidebarElectron.recentThreads":"Tópicos recentes","sidebarElectron.removeWorkspaceRootOption":"Remover","sidebarElectron.renameThread":"Renomear tópico","sidebarElectron.renameThreadDialogAriaLabel":"Título do tópico","sidebarElectron.renameThreadDialogCancel":"Cancelar","sidebarElectron.renameThreadDialogPlaceholder":"Adicione um título…","sidebarElectron.renameThreadDialogSave":"Salvar","sidebarElectron.renameThreadDialogSubtitle":"Curto e fácil de identificar.","sidebarElectron.renameThreadDialogTitle":"Renomear tópico","sidebarElectron.renameThreadError":"Falha ao renomear o tópico","sidebarElectron.renameWorkspaceRootOptionLabel":"Nome de exibição","sidebarElectron.showLess":"Mostrar menos","sidebarElectron.showMenu.all":"Todos os tópicos","sidebarElectron.showMenu.relevant":"Relevante","sidebarElectron.showMenu.relevantHint":"Exibir apenas tópicos recentes para o branch atual, árvores de trabalho ou outros tópicos que precisam da sua atenção","sidebarElectron.showMenu.title":"Exibir","sidebarElectron.showMenu.tooltip":"Filtrar, classificar e organizar tópicos","sidebarElectron.showMenu.trigger":"Filtrar tópicos da barra lateral","sidebarElectron.showMore":"Mostrar mais","sidebarElectron.skillsRouteNavLink":"Habilidades","sidebarElectron.sortMenu.created":"Criado","sidebarElectron.sortMenu.title":"Ordenar por","sidebarElectron.sortMenu.updated":"Atualizado","sidebarElectron.taskNavigation":"Pastas de automação","sidebarElectron.tasksInFolder":"Automações em {folder}","sidebarElectron.workspaceOptions":"Ações de projeto para {folder}","sidebarElectron.worktreeGroupTooltip":"Isto é uma árvore de trabalho git","skills.appsPage.createSkill":"Nova habilidade","skills.appsPage.empty.skills":"Nenhuma habilidade encontrada","skills.appsPage.search.skills":"Buscar habilidades","skills.appsPage.search.skills.label":"Buscar habilidades","skills.appsPage.section.installedApps":"Instalado","skills.appsPage.section.skills":"Habilidades","skills.appsPage.subheading":"Dê superpoderes ao Codex. <link>Saiba mais</link>","skills.appsPage.tab.recommended":"Recomendado","skills.appsPage.tab.skills":"Habilidades","skills.card.contentsError":"Não foi possível carregar o conteúdo das habilidades.","skills.card.disable":"Desabilitar","skills.card.disableSuccess":"Habilidade {skillName} desabilitada","skills.card.disabledBadge":"Desabilitada","skills.card.enable":"Habilitar","skills.card.enableSuccess":"Habilidade {skillName} habilitada","skills.card.loadingContents":"Carregando o conteúdo das habilidades…","skills.card.more":"Mais ações","skills.card.open":"Abrir","skills.card.removeFailed":"Falha ao desinstalar a habilidade","skills.card.removeSuccess":"Habilidade {skillName} desinstalada","skills.card.toggleEnabledError":"Falha ao atualizar habilidade","skills.card.try":"Experimentar","skills.card.trySkill":"Experimentar habilidade","skills.card.uninstall":"Desinstalar","skills.hero.dotLabel":"Ir para o slide {index}","skills.hero.next":"Próxima habilidade em destaque","skills.hero.trySkill":"Testar habilidade","skills.page.createSkill":"Nova habilidade","skills.page.empty":"Nenhuma habilidade encontrada","skills.page.filteredEmpty":"Nenhuma habilidade corresponde aos seus filtros","skills.page.filteredEmptyDescription":"Tente ajustar seus filtros de busca ou de escopo","skills.page.heading":"Habilidades","skills.page.loading":"Carregando habilidades…","skills.page.refreshSkills":"Atualizar","skills.page.refreshSkillsToUseNew":"Atualize para usar nova(s) habilidade(s)","skills.page.search":"Buscar habilidades","skills.page.search.label":"Buscar habilidades","skills.page.subheading":"Dê superpoderes ao Codex. <link>Saiba mais</link>","skills.preview.copyPrompt":"Copiar prompt","skills.preview.examplePrompt":"Prompt de exemplo","skills.recommended.error":"Não foi possível carregar as habilidades recomendadas","skills.recommended.install":"Instalar","skills.recommended.installSkill":"Instalar habilidade","skills.recommended.installSuccess":"Habilidade {skillName} instalada","skills.recommended.installed":"Instalado","skills.scope.admin":"Administrador","skills.scope.adminInstalled":"Administrador instalado","skills.scope.builtIn":"Sistema","skills.scope.personal":"Pessoal","skills.scope.repo":"Repositório","skills.scope.system":"Sistema","skills.scope.team":"Equipe","skills.scope.user":"Usuário","skills.section.installed":"Instaladas","skills.section.recommended":"Recomendadas","story.slidingToggle.existing":"Existente","story.slidingToggle.fromLocal":"Do local","story.slidingToggle.new":"Novas","story.slidingToggle.toLocal":"Para o local","terminal.close":"Fechar terminal","terminal.title":"Terminal","thinkingShimmer.default":"Pensando","threadEnvIcon.cloudTooltip":"Esta conversa está sendo executada na nuvem do Codex.","threadEnvIcon.localTooltip":"Esta conversa está sendo executada localmente.","threadEnvIcon.worktreeTooltip":"Esta conversa está sendo executada em uma árvore de trabalho git local.","threadHeader.archiveConfirmCancel":"Cancelar","threadHeader.archiveConfirmConfirm":"Arquivar","threadHeader.archiveConfirmSubtitle":"Você pode encontrar isso depois nos seus tópicos arquivados.","threadHeader.archiveConfirmTitle":"Arquivar tópico?","threadHeader.copyAppLink":"Copiar link direto","threadHeader.copySessionId":"Copiar ID da sessão","threadHeader.copyWorkingDirectory":"Copiar diretório de trabalho","threadHeader.forkIntoLocal":"Bifurcar em local","threadHeader.forkIntoWorktree":"Bifurcar em uma nova árvore de trabalho","threadHeader.forkPendingWorktreePrompt":"Bifurcar esta conversa para uma nova árvore de trabalho.","threadHeader.forkPendingWorktreeTitle":"Conversa bifurcada","threadHeader.forkThreadError":"Falha ao bifurcar o tópico","threadHeader.forkThreadRequiresGitRepo":"Bifurcar em uma nova árvore de trabalho requer um repositório git","threadHeader.moreActions":"Ações do tópico","threadPage.newThread":"Novo tópico","threadPage.runAction.changeEnvironment":"Alterar ambiente","threadPage.runAction.dropdown.titleWithEnvironment":"Ações {environmentName}","threadPage.runAction.environmentSelector.label":"Escolher ambiente","threadPage.runAction.label":"Executar","threadPage.runAction.missing.label":"Configurar uma ação de execução","threadPage.runAction.setup.commandLabel":"Comando para executar","threadPage.runAction.setup.description":"Informe ao Codex como instalar as dependências e iniciar o seu aplicativo.","threadPage.runAction.setup.editMore":"Configurações do ambiente","threadPage.runAction.setup.placeholder":"exemplo: npm install npm run","threadPage.runAction.setup.submit":"Salvar e executar","threadPage.runAction.setup.title":"Executar","threadPage.runAction.tooltip.withEnvironment":"Ações {environmentName}","threadPage.toggleDiffPanel":"Alternar painel de diff","threadPage.toggleTerminal":"Alternar terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Abrir pasta","toolSummaryForCmd.exploredFiles":"Arquivos <verb>listados</verb>","toolSummaryForCmd.exploredFilesInPath":"Arquivos <verb>listados</verb> em {path}","toolSummaryForCmd.exploringFiles":"<verb>Listando</verb> arquivos","toolSummaryForCmd.exploringFilesInPath":"<verb>Listando</verb> arquivos em {path}","toolSummaryForCmd.ranGenericCommand":"<status>Comando executado</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Executado</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Leu</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Executando o comando</status>{timer}","toolSummaryForCmd.runningTimer":"para {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Buscou</verb> por {query}","toolSummaryForCmd.searchedForFiles":"<verb>Buscou</verb> por arquivos","toolSummaryForCmd.searchedForInPath":"<verb>Buscou</verb> por {query} em {path}","toolSummaryForCmd.searchingFor":"<verb>Buscando</verb> por {query}","toolSummaryForCmd.searchingForFiles":"<verb>Buscando</verb> por arquivos","toolSummaryForCmd.searchingForInPath":"<verb>Buscando</verb> por {query} em {path}","traceRecording.details.noteLabel":"O que você estava fazendo quando isso aconteceu? (opcional)","traceRecording.details.notePlaceholder":"Naveguei por um tópico grande e depois mudei de aba várias vezes…","traceRecording.details.submit":"Enviar rastreamento","traceRecording.details.subtitle":"Podemos enviar este rastreamento de perfil para ajudar a diagnosticar problemas de desempenho.","traceRecording.details.title":"Enviar rastreamento de perfil?","traceRecording.progress.subtitle":"Mantenha o Codex aberto enquanto isso é concluído.","traceRecording.saving.title":"Salvando rastreamento…","traceRecording.startDetails.cancel":"Cancelar","traceRecording.startDetails.submit":"Ok, iniciar gravação","traceRecording.startDetails.subtitle":"Após clicar em Ok, reproduza o problema de desempenho e clique no indicador vermelho flutuante para parar e revisar o rastreamento.","traceRecording.startDetails.title":"Como funciona a gravação de rastreamento","traceRecording.stopButton.ariaLabel":"Interromper gravação de rastreamento","traceRecording.upload.successToast":"Rastreamento de perfil enviado.","traceRecording.uploading.title":"Carregando rastreamento…","wham.diff.addComment":"Adicionar comentário","wham.diff.binaryFile":"Arquivo binário não exibido","wham.diff.noContent":"Sem conteúdo","wham.fileTag.deleted":"Excluídos","wham.fileTag.new":"Novas","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} m","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} sem","wham.formattedRelativeDateTime.compactYearsAgo":"{value} a","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Executando sua tarefa","wham.whamProposedTask.title":"Tarefa sugerida","wham.whamProposedTask.useSuggestion":"Usar sugestão","workspaceRootDialog.addError":"Falha ao adicionar projeto","workspaceRootDialog.cancel":"Cancelar","workspaceRootDialog.confirmAdd":"Adicionar projeto","workspaceRootDialog.confirmPick":"Usar projeto","workspaceRootDialog.description":"Informe um caminho em {host} para usar como projeto.","workspaceRootDialog.pathLabel":"Caminho do projeto","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Adicionar caminho do projeto","workspaceRootDialog.title.pick":"Escolher caminho do projeto","worktreeInitV2.cancel":"Cancelar","worktreeInitV2.notification.failedTitle":"Falha na configuração da árvore de trabalho.","worktreeInitV2.output.empty":"Aguardando resultado…","worktreeInitV2.status.error":"Falha na configuração da árvore de trabalho.","worktreeInitV2.status.running":"Criando uma árvore de trabalho e executando a configuração.","worktreeInitV2.status.runningFork":"Criando uma nova árvore de trabalho para bifurcar esta conversa.","worktreeInitV2.status.success":"Árvore de trabalho pronta.","worktreeInitV2.title":"Criando árvore de trabalho","worktreeInitV2.workLocallyInstead":"Trabalhar localmente","worktreeRestoreBanner.body":"A árvore de trabalho deste tópico foi removida para economizar espaço em disco","worktreeRestoreBanner.missing.body":"O diretório de trabalho deste tópico não existe mais","worktreeRestoreBanner.missing.title":"Diretório de trabalho atual ausente","worktreeRestoreBanner.restore.error":"Falha ao restaurar árvore de trabalho: {message}","worktreeRestoreBanner.restore.success":"Árvore de trabalho restaurada","worktreeRestoreBanner.restoreCta":"Restaurar árvore de trabalho","worktreeRestoreBanner.title":"Árvore de trabalho limpa"};export{e as default};
+const e={"CopyButton.copyTooltip":"Copiar","app.sidebar.hide":"Ocultar barra lateral","app.sidebar.show":"Exibir barra lateral","app.sidebar.tooltip":"Alternar barra lateral","appHeader.installUpdate":"Atualizar","appSunset.body":"Esta versão do aplicativo não é mais compatível. Baixe a versão mais recente <here>aqui</here>.","appSunset.title":"Atualização necessária","automation.updateDirective.create":"Criar","automation.updateDirective.open":"Abrir","automation.updateDirective.untitled":"Automação sem título","automation.updateDirective.update":"Atualizar","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# tentativa} many {# tentativas} other {# tentativas}}","cloudTaskRow.archiveError":"Falha ao arquivar tarefa","code.diff.requestChange":"Solicitar alteração","code.diffComment.cancel":"Cancelar","code.diffComment.comment":"Comentário","code.diffComment.delete":"Excluir","code.diffComment.save":"Salvar","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nenhum achado identificado.","codex.alert.closeAriaLabel":"Fechar","codex.appUpsellBanner.cbpApi.message":"Crie mais rápido com o aplicativo Codex. Baixe agora ou {learnMoreLink}.","codex.appUpsellBanner.download":"Baixar","codex.appUpsellBanner.freeGo.message":"O Codex está incluído no seu plano até 2 de março. Experimente o aplicativo Codex para desenvolver mais rápido.","codex.appUpsellBanner.later":"Mais tarde","codex.appUpsellBanner.learnMoreLowercase":"saiba mais","codex.appUpsellBanner.new":"Novas","codex.appUpsellBanner.proPlusBusiness.message":"Experimente o aplicativo Codex com limite de uso dobrado até 2 de abril. Baixe agora ou {learnMoreLink}.","codex.appUpsellBanner.title":"Aplicativo Codex","codex.applyDropdown.header.changes":"Alterações","codex.applyDropdown.header.fileCount":"{count, plural, one {# arquivo} many {# arquivos} other {# arquivos}}","codex.applyDropdown.header.rows":"linhas","codex.applyDropdown.header.title":"Aplicar alterações","codex.applyDropdown.header.workspace":"Projeto","codex.applyDropdown.results.conflicted":"{count, plural, one {1 arquivo com conflito:} many {{count} arquivos com conflito:} other {{count} arquivos com conflito:}}","codex.applyDropdown.results.empty":"Nenhum arquivo foi copiado","codex.applyDropdown.results.skipped":"{count, plural, one {1 arquivo pulado:} many {{count} arquivos pulados:} other {{count} arquivos pulados:}}","codex.applyOrRevertBanner.apply":"Aplicar","codex.applyOrRevertBanner.applyMessage":"Aplicar as alterações e continuar localmente?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"A tarefa foi criada no {environment}, portanto, pode não ser aplicada corretamente.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Alterações feitas no {environment}. Podem não ser aplicadas corretamente.","codex.applyOrRevertBanner.reapply":"Reaplicar","codex.applyOrRevertBanner.revert":"Reverter","codex.applyOrRevertBanner.revertMessage":"Reverter alterações aplicadas?","codex.applyResultsDialog.applied":"Aplicadas corretamente ({count})","codex.applyResultsDialog.close":"Fechar","codex.applyResultsDialog.conflicted":"Em conflito ({count})","codex.applyResultsDialog.noDetails":"Nenhum detalhe do arquivo disponível.","codex.applyResultsDialog.skipped":"Ignorou ({count})","codex.applyResultsDialog.title":"Aplicar resultados","codex.archiveInfo":"Exibir chats arquivados em {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Controles de dados","codex.archiveInfo.electron":"Exibir chats arquivados em {settingsLink}.","codex.archiveInfo.extension":"Exibir chats arquivados na sua pasta .codex.","codex.archiveInfo.settingsLink":"Configurações","codex.banner.content.description":"Execute tarefas em paralelo, acompanhe o andamento de qualquer lugar e revise PRs com ajuda da IA.","codex.banner.content.headline":"O Codex cuida de tudo.","codex.cloudTaskRow.archiveTask":"Arquivar tarefa","codex.cloudTaskRow.confirmArchiveTask":"Confirmar","codex.command.feedback":"Feedback","codex.command.findInThread":"Localizar","codex.command.forceReloadSkills":"Forçar recarregamento de habilidades","codex.command.logOut":"Sair","codex.command.manageTasks":"Gerenciar tarefas","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Anterior","codex.command.navigateForward":"Avançar","codex.command.newThread":"Novo tópico","codex.command.nextThread":"Próximo tópico","codex.command.openFolder":"Abrir pasta","codex.command.openSkills":"Ir para habilidades","codex.command.openThreadOverlay":"Abrir tópico em outra janela","codex.command.personalitySettings":"Personalidade","codex.command.previousThread":"Tópico anterior","codex.command.settings":"Configurações","codex.command.toggleDiffPanel":"Alternar painel de diff","codex.command.toggleSidebar":"Alternar barra lateral","codex.command.toggleTerminal":"Alternar terminal","codex.commandGroup.app":"Aplicativo","codex.commandGroup.configure":"Configurar","codex.commandGroup.navigation":"Navegação","codex.commandGroup.panels":"Painéis","codex.commandGroup.skills":"Habilidades","codex.commandGroup.thread":"Tópico","codex.commandGroup.workspace":"Projeto","codex.commandMenu.noResults":"Nenhuma correspondência","codex.commandMenu.searchPlaceholder":"Comandos de busca","codex.commandMenu.suggestedGroup":"Sugestões","codex.commandMenu.switchWorkspace":"Alternar projeto","codex.commandMenu.title":"Menu de comandos","codex.common.retry":"Repetir","codex.composer.searchBranches":"Buscar branches","codex.dialog.basic.body":"Este é um modal simples usando nosso empacotador baseado no Radix Dialog.","codex.dialog.basic.cancel":"Cancelar","codex.dialog.basic.confirm":"Confirmar","codex.dialog.basic.open":"Abrir modal","codex.dialog.basic.title":"Modal de exemplo","codex.dialog.long.close":"Fechar","codex.dialog.long.line":"Linha rolável {index} para demonstrar conteúdo longo dentro do modal.","codex.dialog.long.open":"Abrir modal longo","codex.dialog.long.title":"Modal de conteúdo longo","codex.dialog.unstyled.body":"Esta história mostra como quem chama pode controlar totalmente o estilo do conteúdo do diálogo.","codex.dialog.unstyled.open":"Abrir diálogo sem estilo","codex.dialog.unstyled.title":"Conteúdo sem estilo","codex.diff.openInEditorPrompt.openButton":"Abrir no editor","codex.diff.openInEditorPrompt.singleLine":"Este arquivo é grande demais para exibir aqui.","codex.diffView.failedToDecodeBase64Diff":"Erro ao decodificar diff em base64","codex.diffView.filesChanged":"{fileCount, plural, one {# arquivo modificado} many {# arquivos modificados} other {# arquivos modificados}}","codex.diffView.imagePreviewAlt":"Prévia da imagem","codex.diffView.imagePreviewEmpty":"Nenhuma imagem","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nenhum dado de diff","codex.diffView.pdfPreview.nextPage":"Próxima página","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Página anterior","codex.diffView.pdfPreviewEmpty":"Sem prévia de PDF","codex.diffView.pdfPreviewError":"Não foi possível renderizar a prévia do PDF","codex.diffView.richPreviewDisable":"Desabilitar prévia detalhada","codex.diffView.richPreviewEnable":"Habilitar prévia detalhada","codex.diffView.richPreviewLoading":"Carregando prévia…","codex.diffView.richPreviewToggle":"Alternar prévia detalhada","codex.diffView.switchToUnified":"Mudar para diff unificado","codex.environmentSelector.noEnvironment":"Nenhum ambiente","codex.environments.environmentSettings":"Configurações do ambiente","codex.environments.learnMore":"Saiba mais","codex.environments.listError":"Falha ao carregar ambientes.","codex.environments.noEnvironmentsFound":"Nenhum ambiente encontrado","codex.environments.searchError":"Falha ao buscar ambientes.","codex.errorBoundary.genericError":"Ops, ocorreu um erro","codex.errorBoundary.goHome":"Tentar de novo","codex.file.patch.missing":"Não foi possível gerar o patch para este arquivo.","codex.gallery.automations.cwdLabel":"Projetos","codex.gallery.automations.nameLabel":"Nome","codex.gallery.automations.namePlaceholder":"Resuma uma tarefa","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Descreva o que o Codex deve fazer","codex.gallery.dialogs.automation.label":"Diálogo de automação","codex.gallery.dialogs.basic.body":"Use esta disposição para confirmações simples ou formulários curtos.","codex.gallery.dialogs.basic.cancel":"Cancelar","codex.gallery.dialogs.basic.confirm":"Confirmar","codex.gallery.dialogs.basic.label":"Diálogo básico","codex.gallery.dialogs.basic.title":"Diálogo de exemplo","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Descreva o problema","codex.gallery.dialogs.feedbackSubmission.bad":"Resultado ruim","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Resultado bom","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inclua registros da sessão atual do Codex","codex.gallery.dialogs.feedbackSubmission.label":"Envio de feedback","codex.gallery.dialogs.feedbackSubmission.other":"Outro","codex.gallery.dialogs.feedbackSubmission.placeholder":"Descreva o problema aqui","codex.gallery.dialogs.feedbackSubmission.submit":"Enviar","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback enviado. Se o problema persistir, abra um problema no GitHub ou mencione o ID do tópico em um problema já existente:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Dispensar","codex.gallery.dialogs.feedbackSuccess.label":"Sucesso do feedback","codex.gallery.dialogs.feedbackSuccess.title":"Feedback carregado","codex.gallery.dialogs.gitApplyResults.applied":"Aplicações corretas (2)","codex.gallery.dialogs.gitApplyResults.close":"Fechar","codex.gallery.dialogs.gitApplyResults.conflicted":"Em conflito (1)","codex.gallery.dialogs.gitApplyResults.label":"Aplicar resultados","codex.gallery.dialogs.gitApplyResults.title":"Aplicar resultados","codex.gallery.dialogs.gitPushError.body":"Faça pull das alterações mais recentes ou efetue um push forçado se tiver certeza que é seguro sobrescrever o histórico remoto.","codex.gallery.dialogs.gitPushError.cancel":"Cancelar","codex.gallery.dialogs.gitPushError.force":"Push forçado","codex.gallery.dialogs.gitPushError.label":"Erro de push","codex.gallery.dialogs.gitPushError.subtitle":"Seu branch está atrás de origin/main.","codex.gallery.dialogs.gitPushError.title":"Falha ao efetuar push das alterações","codex.gallery.dialogs.gitRevert.cancel":"Cancelar","codex.gallery.dialogs.gitRevert.confirm":"Reverter","codex.gallery.dialogs.gitRevert.label":"Reverter alterações","codex.gallery.dialogs.gitRevert.skip":"Não perguntar novamente","codex.gallery.dialogs.gitRevert.subtitle":"Esta ação remove todas as alterações.","codex.gallery.dialogs.gitRevert.title":"Reverter alterações?","codex.gallery.dialogs.longForm.label":"Diálogo em formato longo","codex.gallery.dialogs.proseModal.body":"Este estilo de modal é usado para instruções mais longas, integração ou blocos de conteúdo avançados.","codex.gallery.dialogs.proseModal.close":"Fechar","codex.gallery.dialogs.proseModal.subtitle":"Compartilhe aqui orientações ou documentações mais longas.","codex.gallery.dialogs.proseModal.title":"Modal de prosa","codex.gallery.dialogs.submitBlocked.label":"Envio bloqueado","codex.gallery.dialogs.submitBlocked.message":"Sua mensagem não pôde ser enviada porque o projeto está indisponível.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Não foi possível enviar a mensagem","codex.gallery.dialogs.title":"Diálogos","codex.gallery.dropdown.filterPlaceholder":"Filtrar itens","codex.gallery.dropdowns.actionRow":"Linhas de ação","codex.gallery.dropdowns.actionRow.disabled":"Ação desabilitada","codex.gallery.dropdowns.actionRow.primary":"Ação primária","codex.gallery.dropdowns.actionRow.secondary":"Ação secundária","codex.gallery.dropdowns.actionRow.trigger":"Exibir ações","codex.gallery.dropdowns.basic":"Menu suspenso básico","codex.gallery.dropdowns.basic.newFile":"Novo arquivo","codex.gallery.dropdowns.basic.newFolder":"Nova pasta","codex.gallery.dropdowns.basic.openSettings":"Abrir configurações","codex.gallery.dropdowns.basic.title":"Ações rápidas","codex.gallery.dropdowns.basic.trigger":"Abrir menu","codex.gallery.dropdowns.basic.upload":"Carregar","codex.gallery.dropdowns.panel":"Superfície do painel","codex.gallery.dropdowns.panel.apply":"Aplicar","codex.gallery.dropdowns.panel.body":"Revisar diffs e aplicar no seu projeto.","codex.gallery.dropdowns.panel.preview":"Prévia","codex.gallery.dropdowns.panel.title":"Aplicar alterações","codex.gallery.dropdowns.panel.trigger":"Abrir painel","codex.gallery.dropdowns.search":"Menu suspenso pesquisável","codex.gallery.dropdowns.search.first":"Canal alfa","codex.gallery.dropdowns.search.second":"Branch beta","codex.gallery.dropdowns.search.third":"Candidato a lançamento","codex.gallery.dropdowns.search.trigger":"Filtrar itens","codex.gallery.dropdowns.submenu":"Menu suspenso com submenu","codex.gallery.dropdowns.submenu.optionA":"Projeto alfa","codex.gallery.dropdowns.submenu.optionB":"Projeto beta","codex.gallery.dropdowns.submenu.optionC":"Projeto gama","codex.gallery.dropdowns.submenu.primary":"Atribuir proprietário","codex.gallery.dropdowns.submenu.secondary":"Mover para","codex.gallery.dropdowns.submenu.tertiary":"Arquivar","codex.gallery.dropdowns.submenu.trigger":"Escolher ação","codex.gallery.dropdowns.title":"Menus suspensos","codex.gallery.inbox.automations.close":"Fechar","codex.gallery.inbox.automations.popover.cardTitle":"Gerenciar automações","codex.gallery.inbox.automations.popover.dialogTitle":"Gerenciar automações","codex.header.settingsTooltip":"Configurações","codex.hunk.patch.error":"Falha ao marcar para commit","codex.hunk.patch.missing":"Não foi possível gerar o patch para este bloco de alterações.","codex.hunk.patch.partialSuccess":"Sucesso parcial","codex.hunk.patch.revertError":"Falha ao desmarcar para commit","codex.hunk.patch.revertSuccess":"Desmarcação para commit realizada com sucesso","codex.hunk.patch.success":"Marcação para commit realizada com sucesso","codex.legal.autonomy.details":"Confira mais detalhes em {link}","codex.legal.autonomy.details.link":"Documentos do Codex","codex.legal.autonomy.title":"Defina quanta autonomia você quer conceder","codex.legal.backButton":"Anterior","codex.legal.cloud.taskOne.meta":"openai/agi · 12 de outubro","codex.legal.cloud.taskOne.title":"Explique o repositório para um novo designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8 de outubro","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Crie um tema em modo escuro","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 de outubro","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Corrija um bug na integração","codex.legal.continue.apikey":"Continuar","codex.legal.continueButton":"Seguinte","codex.legal.copilot.details":"Utiliza o plano Copilot para chamadas de modelo, cobranças e limites de uso. O emprego da extensão do Codex segue os {oaiTos} e os {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Termos de serviço do GitHub","codex.legal.copilot.oaiTosLink":"Termos de serviço do OpenAI Codex","codex.legal.copilot.title":"Alimentado pelo GitHub Copilot","codex.legal.mistakes.review":"Revise o código gerado e os comandos executados","codex.legal.mistakes.title":"O Codex pode cometer erros","codex.legal.powered.details":"Utiliza os limites de uso do seu plano e {link}","codex.legal.powered.details.link":"preferências de dados de treinamento","codex.legal.powered.title":"Alimentado por sua conta ChatGPT","codex.legal.step.cloud.subtitle":"Envie tarefas para o Codex executar em segundo plano, permitindo que você mantenha o foco e avance mais rápido.","codex.legal.step.cloud.title":"Entregue ao Codex na nuvem","codex.legal.step.intro.subtitle":"O Codex navega, edita, executa comandos e roda testes direto no seu repositório. Alimentado por sua conta do ChatGPT.","codex.legal.step.intro.title":"Codex no seu IDE","codex.legal.step.todo.subtitle":"Escreva um comentário PENDENTE e transforme-o em uma tarefa do Codex com apenas um clique.","codex.legal.step.todo.title":"Converta comentários PENDENTES em tarefas do Codex","codex.legal.todo.heading":"// PENDENTE: implementar schema","codex.localConversation.closeImagePreview":"Fechar prévia da imagem","codex.localConversation.userImageAttachment":"Anexo do usuário","codex.localTaskRow.archiveTask":"Arquivar tópico","codex.localTaskRow.awaitingApproval":"Aguardando aprovação","codex.localTaskRow.awaitingResponse":"Aguardando resposta","codex.localTaskRow.confirmArchiveTask":"Confirmar","codex.loggedOut.apiKeyPrompt.cancel":"Cancelar","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Obter chave API","codex.loggedOut.apiKeyPrompt.inputLabel":"Informe a sua chave API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tarefas na nuvem desabilitadas com a chave API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tarefas na nuvem desabilitadas com o Copilot e a chave API","codex.loggedOut.signIn":"Entrar com o ChatGPT","codex.loggedOut.signIn.cancel":"Cancelar início de sessão","codex.loggedOut.signInWithCopilot":"Entrar com o GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Usar chave API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} Ferramenta {tool} MCP","codex.mcpTool.collapsedLabel.verb.called":"Chamada","codex.mcpTool.collapsedLabel.verb.calling":"Chamando","codex.mcpTool.embeddedResource.contentLabel":"Conteúdo","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tipo de MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"A ferramenta não retornou conteúdo","codex.mcpTool.rawPayloadHeading":"{server} bruto. Carga útil da chamada da ferramenta {tool}","codex.menu.recent":"Recentes","codex.menu.seeAllHistory":"Exibir todo o histórico","codex.modelCapacityBanner.headline.noReset":"O {modelName} está no limite da sua capacidade no momento. Tente novamente mais tarde ou inicie uma nova conversa com outro modelo.","codex.modelCapacityBanner.headline.withReset":"O {modelName} está no limite da sua capacidade no momento. Tente novamente depois de {resetDate} ou inicie uma nova conversa com outro modelo.","codex.modelCapacityBanner.title":"O modelo selecionado está no limite da sua capacidade","codex.patch.change.contentsDeleted":"Conteúdos excluídos","codex.patch.change.created":"Criado","codex.patch.change.created-file":"Arquivo criado","codex.patch.change.creating":"Criando","codex.patch.change.deleted":"Excluídos","codex.patch.change.deleted-file":"Arquivo excluído","codex.patch.change.deleting":"Excluindo","codex.patch.change.edited":"Edição","codex.patch.change.edited-file":"Arquivo editado","codex.patch.change.editing":"Editando","codex.patch.change.noChanges":"Nenhuma alteração","codex.patch.change.rejected-add":"Rejeitado","codex.patch.change.rejected-delete":"Rejeitado","codex.patch.change.rejected-edit":"Rejeitado","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} de {total} tarefas concluídas","codex.plan.todoListCreated":"Lista de pendências criada com {total} tarefas","codex.profileDropdown.apiKeyAuth":"Conectado com a chave API","codex.profileDropdown.codexSettings":"Configurações do Codex","codex.profileDropdown.copilotAuth":"Conectado com o Copilot","codex.profileDropdown.defaultAccountTitle":"Conta padrão","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter para enviar prompts longos","codex.profileDropdown.enterBehaviorError":"Falha ao atualizar configuração","codex.profileDropdown.getPlus":"Faça upgrade para obter limites mais altos","codex.profileDropdown.keyboardShortcuts":"Atalhos de teclado","codex.profileDropdown.language":"Idioma","codex.profileDropdown.languageDefault":"Autodetectar","codex.profileDropdown.languageSearchPlaceholder":"Buscar idiomas","codex.profileDropdown.languageUpdateError":"Falha ao atualizar o idioma","codex.profileDropdown.logOut":"Sair","codex.profileDropdown.mcp":"Configurações de MCP","codex.profileDropdown.openConfigToml":"Abrir config.toml","codex.profileDropdown.openConfigToml.wsl":"Abrir config.toml no ambiente WSL","codex.profileDropdown.openExtensionSettings":"Abrir configurações","codex.profileDropdown.openMcpSettings":"Abrir configurações de MCP","codex.profileDropdown.openOnStartup":"Abrir ao iniciar","codex.profileDropdown.openOnStartupError":"Falha ao atualizar configuração","codex.profileDropdown.openSkillsSettings":"Abrir configurações de habilidades","codex.profileDropdown.personalAccountTitle":"Conta pessoal","codex.profileDropdown.queueFollowUps":"Ordenar sequências","codex.profileDropdown.queueFollowUpsError":"Falha ao atualizar configuração","codex.profileDropdown.readDocs":"Ler documentos","codex.profileDropdown.readSkillsDocs":"Ler documentos","codex.profileDropdown.runInWsl":"Executar no WSL","codex.profileDropdown.runInWslError":"Falha ao atualizar configuração","codex.profileDropdown.runInWslTooltip":"Executa o Codex dentro do WSL. Recomendado para maior segurança no sandbox e melhor desempenho.","codex.profileDropdown.settings":"Configurações de IDE","codex.profileDropdown.settingsPage":"Configurações","codex.profileDropdown.signInWithOpenAI":"Entrar com o ChatGPT","codex.profileDropdown.skills":"Configurações de habilidades","codex.profileDropdown.switchToCopilotAccount":"Usar conta Copilot","codex.profileDropdown.switchToOpenAIAccount":"Usar conta OpenAI","codex.profileDropdown.todoCodelens":"Corrigir comentários PENDENTES","codex.profileDropdown.todoCodelensError":"Falha ao atualizar configuração","codex.profileDropdown.windowsDocumentation":"Documentação do Windows","codex.profileFooter.signedInFallback":"Configurações","codex.profileFooter.upgrade":"Fazer upgrade","codex.recentTasksMenu.clearSearch":"Limpar busca","codex.recentTasksMenu.cloud":"Tarefas da nuvem","codex.recentTasksMenu.count":"{count, plural, =0 {Nenhuma tarefa em andamento} one {# tarefa em andamento} many {# tarefas em andamento} other {# tarefas em andamento}}","codex.recentTasksMenu.empty":"Ainda não há tópicos","codex.recentTasksMenu.errorCloud":"Falha ao carregar tarefas.","codex.recentTasksMenu.errorCloud.inline":"Falha ao carregar tarefas da nuvem.","codex.recentTasksMenu.filterAll":"Tudo","codex.recentTasksMenu.filterCloudTasks":"Filtrar tarefas da nuvem","codex.recentTasksMenu.filterTooltip":"Filtrar tarefas por ambiente","codex.recentTasksMenu.local":"Tarefas locais","codex.recentTasksMenu.recent":"Todas as tarefas","codex.recentTasksMenu.search":"Buscar em tarefas recentes","codex.recentTasksMenu.searchEmpty":"Nenhum resultado","codex.recentTasksMenu.tooltip":"Histórico de tarefas","codex.recentTasksMenu.trigger":"Tarefas recentes. {count, plural, one {# em andamento} many {# em andamento} other {# em andamento}}","codex.remoteConversation.applyDiff.applyCta":"Aplicar alterações","codex.remoteConversation.applyDiff.dropdownTitle":"Aplicar alterações a um branch local","codex.remoteConversation.applyDiff.revertCta":"Reverter alterações","codex.remoteConversation.closeImagePreview":"Fechar prévia da imagem","codex.remoteConversation.codexCloudTask":"Você está exibindo uma tarefa <u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Erro: {message}","codex.remoteConversation.loadingImage":"Carregando imagem","codex.remoteConversation.openInWeb":"Abrir na Web","codex.remoteConversation.streaming":"Iniciando","codex.remoteConversation.turnFailed":"Ocorreu um erro durante esta tarefa","codex.remoteConversation.turnTab.loading":"Tentativa {number}","codex.remoteConversation.turnTab.title":"Tentativa {number}","codex.remoteConversation.userImageAttachment":"Anexo do usuário","codex.remoteConversation.viewPreviousTurns":"Abrir na Web","codex.remoteConversation.viewPreviousTurns.buttonText":"Abrir","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Abrir na Web","codex.review.copyGitApplyCommand":"Copie o comando git apply","codex.review.copyGitApplyCommand.toast":"Comando git apply copiado para a área de transferência","codex.review.diffTooLarge.description":"Este diff é muito grande para exibir na Revisão.","codex.review.diffTooLarge.title":"Diff grande demais para exibir","codex.review.expandOrCollapseDiffButton.collapse":"Minimizar todos os diffs","codex.review.expandOrCollapseDiffButton.expand":"Expandir todos os diffs","codex.review.expandOrCollapseDiffMenu.collapse":"Minimizar todos os diffs","codex.review.expandOrCollapseDiffMenu.expand":"Expandir todos os diffs","codex.review.fileSearch.clear":"Limpar filtro de arquivos","codex.review.fileSearch.empty":"Nenhum arquivo corresponde ao filtro atual.","codex.review.fileSearch.label":"Filtrar arquivos","codex.review.fileSearch.placeholder":"Filtrar arquivos…","codex.review.filesChanged":"{num, plural, =0 {Nenhum arquivo alterado} one {# arquivo alterado} many {# arquivos alterados} other {# arquivos alterados}}","codex.review.find.loadMore":"Carregar mais correspondências","codex.review.fullReview.hideFileTree":"Ocultar árvore de arquivos","codex.review.fullReview.showFileTree":"Exibir árvore de arquivos","codex.review.header.moreOptions":"Opções de revisão","codex.review.largeDiff.banner":"Diferença grande detectada, exibindo um arquivo por vez.","codex.review.loadFullFiles.disable":"Não carregar arquivos completos","codex.review.loadFullFiles.enable":"Carregar arquivos completos","codex.review.noDiff":"Alterações de arquivo serão exibidas aqui","codex.review.noDiff.gitInit.createRepository":"Criar repositório git","codex.review.noDiff.gitInit.creating":"Criando…","codex.review.noDiff.gitInit.error":"Falha no git init: {message}","codex.review.noDiff.gitInit.success":"Repositório Git criado","codex.review.noDiff.gitRepoRequired.description":"Rastreie e desfaça alterações neste projeto","codex.review.noDiff.gitRepoRequired.title":"Criar um repositório Git","codex.review.noDiff.orNoLongerAvailable":"ou os últimos diffs não estão mais disponíveis","codex.review.noDiff.reverted":"O turno anterior foi revertido","codex.review.noDiff.revertedOrCommitted":"O turno anterior foi revertido ou o commit foi realizado","codex.review.refreshGitQueries":"Atualizar","codex.review.revert.file.error":"Falha ao reverter {path}","codex.review.revert.file.partialSuccess":"Reversão parcial de {path}","codex.review.revert.file.success":"Reversão total de {path}","codex.review.revert.hunk.error":"Falha na reversão do bloco de alterações {hunkNumber} em {path}","codex.review.revert.hunk.partialSuccess":"Reversão parcial de bloco de alterações {hunkNumber} em {path}","codex.review.revert.hunk.success":"Reversão total de bloco de alterações {hunkNumber} em {path}","codex.review.revert.section.error":"Falha na reversão da seção","codex.review.revert.section.partialSuccess":"Reversão parcial da seção","codex.review.revert.section.success":"Seção revertida","codex.review.revertDialog.cancel":"Cancelar","codex.review.revertDialog.confirm":"Confirmar","codex.review.revertDialog.message":"Esta ação remove todas as mudanças.","codex.review.revertDialog.skip":"Não perguntar novamente","codex.review.revertDialog.title":"Reverter alterações?","codex.review.richPreview.disable":"Desabilitar prévia detalhada","codex.review.richPreview.enable":"Habilitar prévia detalhada","codex.review.source.cloud":"Alterações na nuvem","codex.review.source.local.all":"Todas as alterações do branch","codex.review.source.local.lastTurn":"Alterações do último turno","codex.review.source.local.uncommitted":"Alterações sem commit","codex.review.source.worktree":"Alterações à árvore de trabalho sem commit","codex.review.stageFilter.empty.staged.description":"Aceitar edições e marcá-las para commit","codex.review.stageFilter.empty.staged.title":"Nenhuma alteração marcada para commit","codex.review.stageFilter.empty.unstaged.description":"Alterações de código serão exibidas aqui","codex.review.stageFilter.empty.unstaged.title":"Nenhuma alteração não marcada para commit","codex.review.stageFilter.staged":"Marcadas para commit","codex.review.stageFilter.staged.count":"Marcadas para commit · {count}","codex.review.stageFilter.unstaged":"Não marcadas para commit","codex.review.stageFilter.unstaged.count":"Não marcadas para commit · {count}","codex.review.switchToSplit":"Mudar para diff dividido","codex.review.switchToUnified":"Mudar para diff unificado","codex.review.toggleDiffView":"Alternar exibição do diff","codex.review.wordDiffs.disable":"Desabilitar diffs por palavra","codex.review.wordDiffs.enable":"Habilitar diffs por palavra","codex.review.wrap.disable":"Desabilitar quebra automática de linha","codex.review.wrap.enable":"Habilitar quebra automática de linha","codex.section.patch.missing":"Não foi possível gerar o patch para esta seção.","codex.shell.collapse":"Minimizar shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Conteúdo do shell copiado","codex.shell.copy.copyTooltip":"Copiar conteúdo do shell","codex.shell.copyCommand":"Copiar comando","codex.shell.copyOutput":"Copiar saída","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Expandir shell","codex.shell.name":"Shell","codex.shell.noOutput":"Nenhum resultado","codex.signInFailed.message":"Falha ao iniciar sessão: {rawMessage}","codex.stories.toast.show":"Exibir notificação instantânea","codex.stories.tooltip.basic":"Isto é uma dica","codex.stories.tooltip.hoverMe":"Passe o mouse aqui","codex.stories.tooltip.largerOffset":"Esta dica tem um afastamento maior","codex.stories.tooltip.offsetButton":"Afastamento maior","codex.stories.tooltip.shortcutButton":"Com atalho","codex.stories.tooltip.withShortcut":"Alternar terminal","codex.taskRow.title":"Novo tópico","codex.taskRowLayout.confirm":"Confirmar","codex.threadFindBar.chatFilter":"Buscar chat","codex.threadFindBar.close":"Fechar localizar","codex.threadFindBar.diffFilter":"Buscar diffs","codex.threadFindBar.label":"Localizar no tópico","codex.threadFindBar.nextResult":"Próximo resultado","codex.threadFindBar.noResults":"0 resultado","codex.threadFindBar.placeholder":"Buscar tópico…","codex.threadFindBar.placeholder.extension":"Buscar tópico…","codex.threadFindBar.placeholder.review":"Buscar diff…","codex.threadFindBar.placeholder.review.extension":"Buscar diff…","codex.threadFindBar.previousResult":"Resultado anterior","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# arquivo alterado} many {# arquivos alterados} other {# arquivos alterados}}","codex.unifiedDiff.inlineLargeFile":"Grande demais para renderizar em linha","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Desfazer","codex.unifiedDiff.revertPatchError":"Falha na reversão das alterações","codex.unifiedDiff.revertPatchSuccess":"Alterações revertidas","codex.unifiedDiff.reviewChangesSuffix":"alterações","codex.unifiedDiff.reviewShort":"Revisar","codex.unifiedDiff.viewDiffTooltip":"Revisar","codex.upsellBanner.business.headline":"Para obter mais acesso agora, envie uma solicitação para o administrador ou aguarde até {resetDate}.","codex.upsellBanner.cbp.headline":"Para obter mais acesso agora, envie uma solicitação para o administrador.","codex.upsellBanner.cta.addCredits":"Adicionar créditos","codex.upsellBanner.cta.upgradeAccount":"Fazer upgrade","codex.upsellBanner.cta.viewUsage":"Exibir uso","codex.upsellBanner.free.trialHeadline":"Seu limite de uso é redefinido em {resetDate}. Para continuar usando o Codex e obter acesso ao GPT-5.3-Codex, comece hoje mesmo o seu teste gratuito do Plus.","codex.upsellBanner.freeOrGo.headline":"Seu limite de uso é redefinido em {resetDate}. Para continuar usando o Codex, faça upgrade para o Plus hoje mesmo.","codex.upsellBanner.general.headline":"Seu limite de uso é redefinido em {resetDate}.","codex.upsellBanner.general.title":"Você atingiu o limite de mensagens do Codex","codex.upsellBanner.go.trialHeadline":"Seu limite de uso é redefinido em {resetDate}. Para continuar usando o Codex, comece hoje mesmo o seu teste gratuito do Plus.","codex.upsellBanner.plus.headline":"Seu limite de uso é redefinido em {resetDate}. Para continuar usando o Codex, adicione créditos ou faça upgrade para o Pro hoje mesmo.","codex.upsellBanner.pro.headline":"Seu limite de uso é redefinido em {resetDate}. Adicione créditos para continuar usando o Codex agora mesmo.","codex.userMessage.autoResolveSync":"Resolução automática de conflitos","codex.userMessage.commentCount":"{count, plural, one {# comentário} many {# comentários} other {# comentários}}","codex.userMessage.copiedAriaLabel":"Copiado","codex.userMessage.copiedTooltip":"Copiado","codex.userMessage.copyAriaLabel":"Copiar mensagem","codex.userMessage.copyTooltip":"Copiar","codex.userMessage.implementPlan":"Implementar plano","codex.userMessage.noContent":"(Sem conteúdo)","codex.userMessage.priorConversation":"Referencia a conversa anterior","codex.userMessage.reviewMode":"Modo revisão","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"para {query}","codex.webSearch.summary.verb.completed":"Buscou na Web","codex.webSearch.summary.verb.inProgress":"Buscando na Web","codex.windowsInstallWslBanner.dismiss":"Dispensar","codex.windowsInstallWslBanner.installWslCta":"Habilitar área restrita","codex.windowsInstallWslBanner.learnMore":"Saiba mais","codex.windowsSandboxBanner.content":"O modo agente usa uma área restrita experimental no Windows para limitar o sistema de arquivos e o acesso à rede. {sandboxLink}","codex.windowsSandboxBanner.title":"Habilitar área restrita no modo agente","codex.windowsSubDropdown.windowsSandbox":"Área Restrita do Windows","codex.windowsSubDropdown.windowsSettings":"Configurações do Windows","codexUpgradeModal.body":"Nosso modelo agêntico de programação mais recente: mais inteligente, mais rápido e mais capaz em trabalho técnico geral. {link}","codexUpgradeModal.close":"Fechar","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Saiba mais","codexUpgradeModal.title":"Apresentamos o GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Experimente já o GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Continuar com o modelo atual","commentAttachments.numComments":"{count, plural, one {# comentário} many {# comentários} other {# comentários}}","commentAttachments.removeAriaLabel":"Remover anexo de comentários","common.close":"Fechar","composer.addContext.openFilePickerError":"Não foi possível abrir o seletor de arquivos","composer.addContextDropdown.ariaLabel":"Adicionar arquivos e mais","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Adicionar arquivos e mais","composer.addPhotosAndFiles":"Adicionar fotos e arquivos","composer.atMentionList.emptyQuery":"Digite para buscar arquivos","composer.atMentionList.loading":"Buscando…","composer.atMentionList.noResults":"Nenhum resultado","composer.attemptsSelector.option":"{count, plural, one {# versão} many {# versões} other {# versões}}","composer.attemptsSelector.tooltip":"Número de tentativas paralelas para o Codex executar","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Interromper","composer.cloudFollowUp.cloud":"Nuvem","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"Onde esta sequência deve ser executada?","composer.cloudTaskCreationError":"Erro ao criar tarefa na nuvem","composer.cloudTaskError":"Erro ao criar tarefa","composer.contextWindow.autoCompactionTooltipLine1":"O Codex compacta automaticamente o próprio contexto","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Janela de contexto:","composer.contextWindowUsageStatusFull":"{usage}% cheia","composer.contextWindowUsageStatusLeft":"{usage}% usado ({remaining}% restante)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens usados","composer.customCliTooltip":"Usando uma CLI personalizada executável","composer.dictation.aria":"Ditar","composer.dictation.cancel.aria":"Interromper ditado","composer.dictation.cancel.tooltip":"Interromper ditado","composer.dictation.startError":"Não foi possível iniciar o ditado","composer.dictation.submit.aria":"Transcrever e enviar","composer.dictation.submit.tooltip":"Transcrever e enviar","composer.dictation.tooltip":"Segure para ditar","composer.dictation.transcribeError":"Não foi possível transcrever o áudio","composer.dictation.unsupported":"O ditado não está disponível neste aparelho","composer.dropOverlay.holdShift":"Segure {key} para soltar","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Criar novo","composer.environmentSelector.error":"Erro ao carregar ambientes","composer.environmentSelector.goBack":"Voltar para o compositor","composer.environmentSelector.title":"Selecionar ambiente","composer.environmentSelector.tooltip":"Selecione um ambiente de nuvem","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Selecione um arquivo","composer.filePicker.selectFiles":"Selecionar arquivos","composer.followerTooltip":"Para continuar, volte até a janela onde a conversa começou.","composer.footer.branchSwitch.checkoutError":"Falha ao alternar o branch: {message}","composer.footer.branchSwitch.createAndCheckout":"Criar e fazer checkout de um novo branch…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Fazer commit das alterações para criar e fazer checkout de um novo branch","composer.footer.branchSwitch.createBranchError":"Falha ao criar branch: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nome do branch","composer.footer.branchSwitch.createDialog.branchExistsError":"O branch já existe.","composer.footer.branchSwitch.createDialog.close":"Fechar","composer.footer.branchSwitch.createDialog.createAndCheckout":"Criar e fazer checkout","composer.footer.branchSwitch.createDialog.placeholder":"novo-branch","composer.footer.branchSwitch.createDialog.title":"Criar e fazer checkout do branch","composer.footer.branchSwitch.createDialog.trailingSlashError":'O nome do branch não pode terminar com "/".',"composer.footer.branchSwitch.tooltip":"Alternar branch","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Conclua o commit das alterações em {fileCount, plural, one {# arquivo} many {# arquivos} other {# arquivos}} para fazer o checkout de {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Conclua o commit das","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"alterações em {fileCount, plural, one {# arquivo} many {# arquivos} other {# arquivos}} para fazer o checkout de {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Cancelar","composer.footer.branchSwitch.uncommittedDialog.commit":"Fazer o commit e trocar de branch…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Suas alterações nos seguintes arquivos serão substituídas no checkout:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Faça o commit das suas alterações para continuar.","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"o branch selecionado","composer.footer.branchSwitch.uncommittedDialog.title":"Faça o commit das alterações para trocar de branch","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Sem commit: {fileCount, plural, one {# arquivo} many {# arquivos} other {# arquivos}}","composer.forkSlashCommand.description":"Bifurcar este tópico em local ou numa nova árvore de trabalho","composer.forkSlashCommand.option.local.description":"Continuar em um novo tópico local","composer.forkSlashCommand.option.local.title":"Bifurcar em local","composer.forkSlashCommand.option.worktree.description":"Continuar em uma nova árvore de trabalho","composer.forkSlashCommand.option.worktree.title":"Bifurcar em uma nova árvore de trabalho","composer.forkSlashCommand.title":"Bifurcar","composer.ideContextIndicator":"Contexto de IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Incluir contexto de IDE","composer.ideContextIndicator.tooltipToggle":"para alternar","composer.ideContextSlashCommand.disableDescription":"Desativar contexto de IDE","composer.ideContextSlashCommand.enableDescription":"Incluir a seleção atual, arquivos abertos e outros contextos do seu IDE","composer.ideContextSlashCommand.title":"Contexto de IDE","composer.imageInputsUnsupported":"Este modelo não oferece suporte a entradas de imagem. Tente outro modelo.","composer.imageUploadFailed":"Falha ao carregar imagem","composer.includeIdeContextDropdown":"Incluir contexto da IDE","composer.includeIdeContextDropdown.ariaLabel":"Incluir contexto da IDE","composer.localCwdDropdown.addWorkspaceRoot":"Adicionar novo projeto","composer.localCwdDropdown.noActiveRoot":"Selecione seu projeto","composer.localCwdDropdown.noResults":"Nenhuma pasta encontrada","composer.localCwdDropdown.title":"Selecione seu projeto","composer.localTaskError":"Erro ao iniciar conversa","composer.mcpSlashCommand.description":"Exibir status do servidor MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Não autenticado","composer.mcpStatus.authOauth":"Autenticado (OAuth)","composer.mcpStatus.authToken":"Autenticado (chave API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Fechar","composer.mcpStatus.disabled":"Desabilitado","composer.mcpStatus.emptyLabel":"Servidores:","composer.mcpStatus.emptyValue":"Nenhum servidor MCP configurado","composer.mcpStatus.enabled":"Habilitado","composer.mcpStatus.errorLabel":"Status","composer.mcpStatus.errorValue":"Não foi possível carregar o status do MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agente","composer.mode.agentMode.auto.dropdownLabel":"Agente","composer.mode.agentMode.auto.optionLabel":"Agente","composer.mode.agentMode.changePermission":"Alternar modo","composer.mode.agentMode.custom":"Personalizado","composer.mode.agentMode.custom.dropdownLabel":"Personalizado","composer.mode.agentMode.custom.option":"Personalizado (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personalizado (config.toml)","composer.mode.agentMode.customInfo.cancel":"Cancelar","composer.mode.agentMode.customInfo.cli":"Você pode ajustar essas configurações pelo CLI ou editando o arquivo diretamente.","composer.mode.agentMode.customInfo.confirm":"Usar modo personalizado","composer.mode.agentMode.customInfo.description":"O modo personalizado aplica as políticas de aprovação e isolamento definidas no arquivo <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Saiba mais sobre como configurar políticas de aprovação e isolamento na <link>documentação do ambiente de execução</link>.","composer.mode.agentMode.customInfo.refresh":"Qualquer alteração passa a valer na próxima execução do agente.","composer.mode.agentMode.customInfo.title":"Como o modo personalizado funciona","composer.mode.agentMode.fullAccess":"Agente (acesso completo)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agente (acesso completo)","composer.mode.agentMode.fullAccess.optionLabel":"Agente (acesso completo)","composer.mode.agentMode.fullAccessConfirm.caution":"Tome cuidado ao habilitar o acesso completo. Isso aumenta significativamente o risco de perda de dados, vazamentos ou comportamento inesperado.","composer.mode.agentMode.fullAccessConfirm.confirm":"Sim, continuar mesmo assim","composer.mode.agentMode.fullAccessConfirm.description":"Com acesso completo, o Codex pode editar qualquer arquivo no seu computador e executar comandos com rede, sem sua aprovação.","composer.mode.agentMode.fullAccessConfirm.goBack":"Cancelar","composer.mode.agentMode.fullAccessConfirm.title":"Habilitar acesso completo?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Alternar modo","composer.mode.agentMode.tooltip.auto":"Executar comandos, ler e editar arquivos.","composer.mode.agentMode.tooltip.custom":"Use as políticas mais recentes de aprovação e isolamento definidas no config.toml.","composer.mode.agentMode.tooltip.fullAccess":"O Codex pode editar arquivos fora deste projeto e executar comandos com acesso à rede. Tome cuidado ao usar.","composer.mode.agentMode.tooltip.readOnly":"Requer aprovação para editar arquivos e executar comandos.","composer.mode.cloud.tooltip":"Trabalhe em um ambiente de nuvem","composer.mode.contactAdmin":"Para obter mais acesso, entre em contato com o administrador","composer.mode.local":"Local","composer.mode.local.learnMore":"Saiba mais","composer.mode.local.model.custom":"Personalizado","composer.mode.local.model.loadingModel":"Carregando modelo","composer.mode.local.model.selecrReasoningEffort":"Selecionar raciocínio","composer.mode.local.model.selectModel":"Selecionar modelo","composer.mode.local.model.tooltip":"Escolher modelo","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Alta","composer.mode.local.reasoning.low.label":"Baixa","composer.mode.local.reasoning.medium.label":"Média","composer.mode.local.reasoning.minimal.label":"Mínimo","composer.mode.local.reasoning.none.label":"Nenhuma","composer.mode.local.reasoning.xhigh.label":"Altíssimo","composer.mode.localRemoteWhereRun":"Selecione onde a tarefa será executada","composer.mode.newTask.header":"Continuar em","composer.mode.rateLimit.day":"{days} d","composer.mode.rateLimit.heading":"Limites de uso restantes","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"{modelName} limite:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {limite semanal} many {limite de {weeks} semanas} other {limite de {weeks} semanas}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Semanalmente} many {{weeks} Semana} other {{weeks} Semana}}","composer.mode.remote.connectToCloud":"Conectar Codex na Web","composer.mode.remote.connectToCloudDisabledTooltip":"Configure um ambiente pelo Codex na Web para permitir o envio de tarefas à nuvem","composer.mode.remote.selectEnvironment":"Selecionar ambiente","composer.mode.remote.sendToCloud":"Enviar para a nuvem","composer.mode.remote.setupViaWeb":"Configure um ambiente pelo Codex na Web","composer.mode.runInCloud":"Nuvem","composer.mode.runInCloudWithEnvironment":"Nuvem · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Trabalhe no ambiente de nuvem","composer.mode.segmentedToggle.local.tooltip":"Trabalhe no seu projeto local","composer.mode.segmentedToggle.worktree.tooltip":"Trabalhe em uma árvore de trabalho paralela","composer.mode.upgradeToPlus":"Fazer upgrade para o Plus","composer.mode.upgradeToPro":"Fazer upgrade para o Pro","composer.mode.workLocally":"Projeto local","composer.mode.workLocally.currentBranchFallback":"seu branch","composer.mode.workLocally.tooltip":"Trabalhar em {branchName}","composer.mode.worktree":"Nova árvore de trabalho","composer.mode.worktree.submoduleWarning":"Este repositório tem submódulos git. A criação da árvore de trabalho pode falhar","composer.mode.worktree.tooltip":"Crie uma cópia do seu projeto local para trabalhar em paralelo","composer.mode.worktreeSegment":"Árvore de trabalho","composer.modelChangeDuringConversationWarning.toast":"Trocar de modelo no meio da conversa degradará o desempenho.","composer.newChat.heading.browser":"O que vamos programar agora?","composer.permissionsDropdown.agentMode.tooltip.custom":"O Codex usa a permissão definida em config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"O Codex tem acesso total ao seu computador (risco elevado).","composer.permissionsDropdown.custom.label":"Personalizado (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personalizado (config.toml)","composer.permissionsDropdown.default.label":"Permissões padrão","composer.permissionsDropdown.default.optionLabel":"Permissões padrão","composer.permissionsDropdown.default.tooltip":"O Codex executa comandos automaticamente em uma área restrita.","composer.permissionsDropdown.disabled.requirements":"As permissões estão trancadas por requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"O acesso completo está desabilitado por requirements.toml","composer.permissionsDropdown.fullAccess.label":"Acesso completo","composer.permissionsDropdown.fullAccess.optionLabel":"Acesso completo","composer.permissionsDropdown.trigger.tooltip":"Alterar permissões","composer.personalitySlashCommand.description.friendly":"Acolhedor, colaborativo e prestativo","composer.personalitySlashCommand.description.pragmatic":"Conciso, focado em tarefas e direto","composer.personalitySlashCommand.label.friendly":"Amigável","composer.personalitySlashCommand.label.pragmatic":"Pragmática","composer.personalitySlashCommand.notApplicableSuffix":"(Não se aplica ao modelo atual)","composer.personalitySlashCommand.title":"Personalidade","composer.placeholder.cloudFollowUp.directFollowUp":"Sequência desta tarefa na nuvem","composer.placeholder.cloudFollowUp.local":"Crie uma nova tarefa local que referencia esta tarefa na nuvem.","composer.placeholder.cloudFollowUp.workingTree":"Criar uma nova tarefa na nuvem que inclua seu código atual e faça referência a esta tarefa.","composer.placeholder.localFollowUp.cloud":"Sequência em uma nova tarefa na nuvem","composer.placeholder.localFollowUp.locally":"Pedir alterações adicionais","composer.placeholder.newTask.cloud":"Pedir ao Codex para fazer qualquer ação na nuvem","composer.placeholder.newTask.doAnything":"Pergunte qualquer coisa ao Codex","composer.placeholder.newTask.locally":"Pergunte o que quiser ao Codex, use @ para adicionar arquivos e / para comandos","composer.planModeDropdown":"Modo planejamento","composer.planModeDropdown.ariaLabel":"Modo planejamento","composer.planModeIndicator":"Plano","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Crie um plano com o Codex","composer.planModeIndicator.tooltipToggle":"para alternar","composer.planSlashCommand.disableDescription":"Desativar modo planejamento","composer.planSlashCommand.enableDescription":"Ativar modo planejamento","composer.planSlashCommand.title":"Modo planejamento","composer.priorContext.label":"Contexto anterior","composer.priorContext.removeAriaLabel":"Remover contexto anterior","composer.queuedMessage.delete":"Excluir mensagem em fila","composer.queuedMessage.edit":"Editar mensagem","composer.queuedMessage.more":"Ações de mensagem em fila","composer.queuedMessage.sendNow":"Direcionar","composer.queuedMessage.sendNowTooltip":"Enviar agora sem interromper o trabalho","composer.queuedMessage.turnOff":"Desativar fila","composer.reasoningEffort.local.reasoning.tooltip":"Selecionar esforço de raciocínio","composer.remote.branchStartingPoint":"A partir de qual branch esta tarefa deve começar?","composer.remote.branchesSectionHeading":"Branches","composer.remote.currentEditsSuffix.followUp":"Crie uma nova tarefa que referencia esta tarefa na nuvem.","composer.remote.currentEditsSuffix.useLocal":"com mudanças de código local","composer.remote.directFollowUp":"Não usar mudanças locais","composer.remote.errorLoadingBranches":"Erro ao carregar branches","composer.remote.fromBranch":"De {branch}","composer.remote.fromCurrentBranch":"Do {branch} (atual)","composer.remote.loadingMoreBranches":"Carregando…","composer.remote.localFileStateHeading":"Estado do arquivo local","composer.remote.localWorkingTree":"Usar alterações locais","composer.remote.startingPoint":"A partir de qual código esta tarefa deve começar?","composer.reviewMode.branches.error":"Não foi possível carregar os branches","composer.reviewMode.branches.retry":"Repetir","composer.reviewMode.gitRoot.error":"Root do Git não encontrado","composer.reviewMode.option.baseBranch.simple":"Revisar em comparação com um branch principal","composer.reviewMode.option.unstaged.simple":"Revisar alterações sem commit","composer.reviewMode.quickReviewError":"Não foi possível iniciar a revisão de código.","composer.reviewMode.title":"Revisão de código","composer.sandboxButton.unlock.disabled.tooltip":"Acesso completo desabilitado por requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"O Codex usa uma área restrita experimental no Windows para limitar o sistema de arquivos e o acesso à rede. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Habilitar área restrita do Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Usar somente leitura","composer.searchEnvironments":"Buscar ambientes","composer.skillMentionList.app":"Aplicativo","composer.skillMentionList.loading":"Carregando habilidades…","composer.skillMentionList.noResults":"Nenhuma habilidade encontrada","composer.slashCommands.cloudEnvironment.title":"Ambiente de nuvem","composer.slashCommands.dialogLabel":"Menu de comandos de barra","composer.slashCommands.dialogTitle":"Comandos de barra","composer.slashCommands.disabledTooltip":"Inicie uma nova conversa para usar comandos de barra","composer.slashCommands.inputPlaceholder":"Buscar","composer.slashCommands.noResults":"Nenhum comando","composer.slashCommands.skillsGroup":"Habilidades","composer.slashCommands.tooltip":"Navegar por comandos de barra","composer.status.close":"Fechar","composer.statusPlain.alertLabel":"Alerta:","composer.statusPlain.alertValue":"{remaining}% restante(s) em {window}","composer.statusPlain.contextLabel":"Contexto:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} usados / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% restante(s)","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limite:","composer.statusPlain.rateLimitDays":"limite de {count} d","composer.statusPlain.rateLimitFallbackLabel":"limite de uso:","composer.statusPlain.rateLimitHours":"limite de {count} h","composer.statusPlain.rateLimitLabelBase":"Limite de uso","composer.statusPlain.rateLimitMinutes":"limite de {count} min","composer.statusPlain.rateLimitPercent":"{remaining}% restante(s)","composer.statusPlain.rateLimitReset":"redefinição {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"horário de redefinição indisponível","composer.statusPlain.rateLimitUnavailable":"Indisponível","composer.statusPlain.sessionCopiedAriaLabel":"ID da sessão copiado","composer.statusPlain.sessionCopiedTooltip":"ID Copiado","composer.statusPlain.sessionCopyAriaLabel":"Copiar ID da sessão","composer.statusPlain.sessionCopyTooltip":"Copiar ID","composer.statusPlain.sessionLabel":"Sessão:","composer.statusSlashCommand.description":"Exibir ID de tópico, contexto de uso e limites de uso","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Não foi possível enviar a mensagem","composer.submit.emptyMessage":"Digite uma mensagem para começar","composer.submit.imageInputsUnsupported":"Remova as imagens ou troque de modelo para enviar esta mensagem.","composer.submit.loadingLocalConfig":"Carregando…","composer.submit.missingCloudConfig":"É necessário escolher um ambiente na nuvem","composer.submit.missingCloudTurn":"Não é possível acompanhar esta tarefa","composer.submit.noWorkspace":"Adicione um projeto para usar o Codex","composer.submit.waitForImageUploads":"Carregando imagens…","composer.submitButtonTooltip.send":"Enviar","composer.submitButtonTooltip.stop":"Interromper","composer.worktreeEnvironment.create":"Criar ambiente local","composer.worktreeEnvironment.default":"Ambiente padrão","composer.worktreeEnvironment.error":"Erro ao carregar ambientes","composer.worktreeEnvironment.loading":"Carregando ambientes…","composer.worktreeEnvironment.title":"Ambiente local","composer.worktreeEnvironment.tooltip":"Selecione um ambiente local","composer.worktreeSetupFailed":"A configuração da árvore de trabalho falhou. Verifique .codex/environments para encontrar um script de configuração.","compoundButton.secondaryAction":"Ação secundária","copyButton.copied":"Copiado","copyButton.copiedAriaLabel":"Copiado","copyButton.copy":"Copiar","copyButton.copyAriaLabel":"Copiar","copyButton.copyCode":"Copiar código","diff.actionButton.revertFile":"Reverter arquivo","diff.actionButton.revertHunk":"Reverter","diff.actionButton.revertSection":"Reverter tudo","diff.actionButton.revertSectionLabel":"Reverter tudo","diff.actionButton.stageFile":"Marcar arquivo para commit","diff.actionButton.stageHunk":"Marcar para commit","diff.actionButton.stageSection":"Marcar tudo para commit","diff.actionButton.stageSectionLabel":"Marcar tudo para commit","diff.actionButton.unstageFile":"Desmarcar arquivo para commit","diff.actionButton.unstageHunk":"Desmarcar para commit","diff.actionButton.unstageSection":"Desmarcar tudo para commit","diff.actionButton.unstageSectionLabel":"Desmarcar tudo para commit","diff.fileHeader.toggle":"Alternar diff do arquivo","electron.onboarding.login.apikey.cancel":"Cancelar","electron.onboarding.login.apikey.continue":"Continuar","electron.onboarding.login.apikey.label":"Chave API da OpenAI","electron.onboarding.login.apikey.open":"Informe a chave API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Cancelar início de sessão","electron.onboarding.login.chatgpt.continue":"Continuar com o ChatGPT","electron.onboarding.login.devbox":"Conectar a um SSH remoto","electron.onboarding.login.error":"Falha ao iniciar sessão: {rawMessage}","electron.onboarding.login.snake.start":"Jogar Cobrinha","electron.onboarding.login.sshConfig.cancel":"Cancelar","electron.onboarding.login.sshConfig.continue":"Continuar","electron.onboarding.login.sshConfig.hostnameLabel":"Nome do host SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"A melhor maneira de desenvolver com agentes","electron.onboarding.login.title":"Boas-vindas ao Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuar","electron.onboarding.welcome.doubleLimits.description":"Em comemoração ao lançamento do aplicativo Codex, seus limites de uso foram dobrados até 2 de abril.","electron.onboarding.welcome.freego.description":"O Codex está incluído no seu plano gratuitamente até 2 de março. Vamos começar a desenvolver juntos!","electron.onboarding.welcome.new.title.anon":"Boas-vindas!","electron.onboarding.workspace.continue":"Continuar","electron.onboarding.workspace.empty":"Adicione um projeto para continuar.","electron.onboarding.workspace.listLabel":"Projetos disponíveis","electron.onboarding.workspace.loading":"Carregando projetos…","electron.onboarding.workspace.openFolder":"Adicionar projeto","electron.onboarding.workspace.selectAll":"tudo","electron.onboarding.workspace.skip":"Pular","electron.onboarding.workspace.skip.error":"Não foi possível criar um novo projeto: {message}","electron.onboarding.workspace.skip.error.unknown":"Erro desconhecido","electron.onboarding.workspace.skipping":"Criando um novo projeto…","electron.onboarding.workspace.subtitle":"O Codex poderá editar arquivos e executar comandos em pastas selecionadas.","electron.onboarding.workspace.title":"Selecione um projeto","errorPage.list.checkSettings":"Tente atualizar as configurações do IDE","errorPage.list.configToml":"Verifique se há configurações inválidas em config.toml","errorPage.list.downloadExtension":"Tente baixar outra versão da extensão","errorPage.list.runInWsl":"Verifique as configurações para desabilitar a execução no WSL caso esteja enfrentando problemas de compatibilidade","execApprovalRequest.menu.runAlways":"Sim, e não perguntar novamente nesta sessão","execApprovalRequest.menu.runAlwaysWithAmendment":"Sim, e não pergunte novamente para comandos que começam com {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Sim, e não pergunte novamente para comandos que começam com","execApprovalRequest.menu.runOnce":"Sim","execApprovalRequest.prompt":"Você quer executar este comando?","execApprovalRequest.reject":"Não","execFooter.exitCode":"Código de saída {code}","execFooter.exitCode.unknown":"desconhecido","execFooter.success":"Sucesso","feedback.dialog.category.badResult":"Resultado ruim","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Resultado bom","feedback.dialog.category.other":"Outro","feedback.dialog.descriptionPlaceholder":"Descreva o problema aqui","feedback.dialog.dismiss":"Dispensar","feedback.dialog.includeLogsLabel":"Inclua registros da sessão atual do Codex","feedback.dialog.submit":"Enviar","feedback.dialog.submitError":"Não foi possível enviar o seu feedback. Tente novamente em breve.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"problema em aberto atual","feedback.dialog.uploadedMessage.openIssue":"abra um problema do GitHub","feedback.dialog.uploadedMessage.withThread":"Feedback carregado. Se o problema persistir, {openIssueLink} ou mencione o id do tópico em um {existingIssueLink}:","feedback.dialog.uploadedTitle":"Feedback carregado","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Remover {filename}","header.back":"Anterior","header.recentChats":"Tarefas","header.recentTasks.seeAll":"Exibir tudo ({total})","home.header.getPlus":"Assinar Plus","home.hero.letsBuild":"Vamos criar","homePage.mainContent":"Conteúdo principal","imageAttachment.defaultName":"imagem selecionada","imageAttachment.preview.close":"Fechar prévia da imagem","imageAttachment.removeAriaLabel":"Remover {filename}","implementPlanRequest.option.implement":"Sim, implementar este plano","implementPlanRequest.prompt":"Implementar este plano?","inbox.archived.deleteError":"Não foi possível excluir a execução arquivada","inbox.archived.deleteRun":"Excluir execução arquivada","inbox.archived.deleteSuccess":"Tópico arquivado excluído. Exibir em <settingsLink>Tópicos arquivados</settingsLink>.","inbox.archived.inlineLabel.auto":"Este tópico foi arquivado automaticamente. <learnMoreLink>Saiba mais</learnMoreLink>","inbox.archived.inlineLabel.manual":"Este tópico foi arquivado.","inbox.archived.noMessageFound":"Nenhuma mensagem encontrada","inbox.automations.createError":"Não foi possível criar a automação","inbox.automations.deleteConfirm.cancel":"Cancelar","inbox.automations.deleteConfirm.confirm":"Excluir automação?","inbox.automations.deleteConfirm.description":"Isto excluirá permanentemente a automação e interromperá quaisquer execuções futuras.","inbox.automations.deleteConfirm.title":"Excluir {name}?","inbox.automations.deleteError":"Não foi possível excluir a automação","inbox.automations.editTooltip":"Editar automação","inbox.automations.inProgress":"Em andamento","inbox.automations.new":"Novas","inbox.automations.newToolbar":"Nova automação","inbox.automations.pauseTooltip":"Pausar automação","inbox.automations.resumeTooltip":"Retomar automação","inbox.automations.startingNow":"Iniciando agora","inbox.automations.startsIn":"Começa em {startTime}","inbox.automations.status.active":"Ativa","inbox.automations.status.paused":"Em pausa","inbox.automations.status.runs":"{count} execuções","inbox.automations.status.started":"Iniciou {date}","inbox.automations.updateError":"Não foi possível atualizar a automação","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tudo","inbox.filter.ariaLabel":"Filtrar itens de caixa de entrada","inbox.filter.unread":"Não lidas","inbox.list.archived":"Arquivadas","inbox.list.inProgress":"Em andamento","inbox.list.recent":"Concluído","inbox.list.upNext":"Agendadas","inbox.mode.automations":"Automações","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nenhuma descrição fornecida","inbox.openThread":"Abrir tópico","inbox.rightPanel.emptySubtitle":"Automatize o trabalho configurando tarefas agendadas","inbox.rightPanel.emptySubtitle.learnMore":"Automatize o trabalho configurando tópicos agendados <link>Saiba mais</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automação ativa} many {# automações ativas} other {# automações ativas}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nenhuma automação não lida","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automação não lida} many {# automações não lidas} other {# automações não lidas}}","inbox.rightPanel.emptyTitle":"Nenhum item selecionado","inbox.rightPanel.noThread":"Nenhum tópico para este item","inbox.rightPanel.quickStart.header":"Começar com um modelo","inbox.untitled":"Item da caixa de entrada sem título","loadingPage.documentationLink":"documentação","loadingPage.errorDescription":"O Codex falhou com o seguinte erro:","loadingPage.errorDescription.documentation":"Clique em recarregar para reiniciar a extensão do Codex ou acesse nossa {documentationLink} para receber mais ajuda.","loadingPage.errorSignal":"Algumas coisas que você pode tentar:","loadingPage.errorTitle":"Ocorreu um erro","loadingPage.openConfigToml":"Abrir Config.toml","loadingPage.reload":"Recarregar","localConversation.contextCompacted":"Contexto compactado automaticamente","localConversation.contextCompacting":"Compactando o contexto automaticamente","localConversation.forkedFromConversation":"Bifurcado de {threadTitle}","localConversation.merge.autoResolve.failed":"A solicitação de resolução automática falhou: {error}","localConversation.merge.autoResolve.sent":"Solicitação de resolução automática enviada","localConversation.merge.autoResolveMerge.missingConversation":"Não foi possível resolver automaticamente sem uma conversa ativa.","localConversation.merge.autoResolveMerge.request":"Resolver automaticamente os conflitos de combinação","localConversation.modelChanged":"Modelo alterado de {fromModel} para {toModel}.","localConversation.modelChanged.warning.line1":"Trocar de modelo no meio da conversa degradará o desempenho.","localConversation.modelChanged.warning.line2":"O contexto pode ser compactado automaticamente.","localConversation.moveThread.createBranch.label":"Criar branch","localConversation.moveToLocal.disabled.loading":"Carregando…","localConversation.moveToLocal.modal.continue":"Continuar","localConversation.moveToLocal.modal.destinationLabel":"Mover para","localConversation.moveToLocal.modal.retry":"Repetir","localConversation.moveToWorktree.modal.back":"Anterior","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"O branch já existe.","localConversation.moveToWorktree.modal.branchesError":"Não foi possível carregar os branches","localConversation.moveToWorktree.modal.branchesLoading":"Carregando branches…","localConversation.moveToWorktree.modal.branchesRetry":"Repetir","localConversation.moveToWorktree.modal.continue":"Continuar","localConversation.moveToWorktree.modal.retry":"Repetir","localConversation.moveToWorktree.modal.trailingSlashError":'O nome do branch não pode terminar com "/".',"localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"novo-branch","localConversation.personalityChanged":"Alterado para a personalidade {personality}","localConversation.planSummary.collapse":"Recolher resumo do plano","localConversation.planSummary.collapseTooltip":"Minimizar","localConversation.planSummary.download":"Baixar plano","localConversation.planSummary.expand":"Expandir resumo do plano","localConversation.planSummary.expandTooltip":"Expandir","localConversation.planSummary.openInNewWindow":"Abrir","localConversation.planSummary.openInNewWindow.tooltip":"Abrir em uma nova janela","localConversation.planSummary.title":"Plano","localConversation.planSummary.titleWriting":"Plano de escrita","localConversation.planSummary.viewPlan":"Expandir plano","localConversation.remoteTaskCreated":"Criou {taskLink} no Codex Cloud","localConversation.remoteTaskCreated.task":"tarefa","localConversation.scrollToBottomButton":"Rolar até o final","localConversation.sync.buttonLabel":"Passar para o local","localConversation.sync.buttonLabel.tooltip":"Transfira as alterações entre esta árvore de trabalho e seu checkout local.","localConversation.sync.modal.loading.title":"Transferindo as alterações…","localConversation.sync.modal.noChanges":"Nenhuma alteração","localConversation.syncSetup.branchAriaLabel":"Nome do branch","localConversation.syncSetup.branchName":"Nome do branch","localConversation.syncSetup.branchPlaceholder.existing":"Selecionar branch existente","localConversation.syncSetup.branchPlaceholder.new":"codex/novo-recurso","localConversation.syncSetup.branchesLoading":"Carregando branches…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Checkout já feito","localConversation.syncSetup.checkoutClean":"Atualmente em {branchName}","localConversation.syncSetup.checkoutDirty":"Atualmente em {branchName} com alterações sem commit","localConversation.syncSetup.checkoutError":"Falha ao fazer checkout do branch: {message}","localConversation.syncSetup.checkoutLabel":"Fazer checkout local agora","localConversation.syncSetup.checkoutOnLocal":"Transferir para o local","localConversation.syncSetup.checkoutPending":"Verificando status local…","localConversation.syncSetup.checkoutUnavailable":"Espaço de trabalho local indisponível","localConversation.syncSetup.checkoutUnknown":"Branch local indisponível","localConversation.syncSetup.continue":"Continuar","localConversation.syncSetup.createBranchError":"Falha ao definir o branch de transferência: {message}","localConversation.syncSetup.error":"Algo de errado ocorreu: {message}","localConversation.syncSetup.error.workingTreeMissing":"Não foi possível criar um instantâneo da árvore de trabalho. Tente transferir novamente.","localConversation.syncSetup.mode.ariaLabel":"Selecionar modo de branch","localConversation.syncSetup.mode.existing":"Branch existente","localConversation.syncSetup.mode.new":"Novo branch","localConversation.syncSetup.noBranches":"Nenhum branch encontrado","localConversation.syncSetup.overwriteError":"O branch foi criado, mas não foi transferido totalmente. Transfira-o manualmente antes de fazer o checkout local.","localConversation.syncSetup.setPrefix":"Definir prefixo","localConversation.syncSetup.subtitle":"Teste e edite alterações de árvore de trabalho localmente. <a>Saiba mais</a>","localConversation.syncSetup.success.checkedOut":"O branch foi criado e o checkout foi efetuado localmente","localConversation.syncSetup.success.notCheckedOut":"Branch criado","localConversation.syncSetup.title":"Transferir para um branch local","localConversation.syncWorktreeError.branchAriaLabel":"Nome do branch","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/novo-recurso","localConversation.syncWorktreeError.branchSetup.subtitle":"Escolha um branch para transferir e, em seguida, tente carregar as alterações novamente.","localConversation.syncWorktreeError.branchSetup.title":"Atualizar branch","localConversation.syncWorktreeError.branchUpdate.cta":"Atualizar e tentar novamente","localConversation.syncWorktreeError.branchUpdate.error":"Falha ao atualizar o branch: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Algo de errado ocorreu: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"O branch não está com checkout efetuado em nenhuma árvore de trabalho.","localConversation.syncWorktreeV2.applyUncommitted":"Aplicar","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Você precisa fazer checkout do branch localmente para aplicar alterações não submetidas.","localConversation.syncWorktreeV2.branches.empty":"Nenhum branch encontrado","localConversation.syncWorktreeV2.branches.loading":"Carregando branches…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Alterar o branch de transferência","localConversation.syncWorktreeV2.changeBranch.error":"Falha ao alterar o branch de transferência: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Falha ao aplicar","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Falha ao sobrescrever a árvore de trabalho","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Falha ao sobrescrever o local","localConversation.syncWorktreeV2.commandError.back":"Anterior","localConversation.syncWorktreeV2.commandError.body":"Um comando do git falhou durante a transferência. Revise a saída e tente novamente.","localConversation.syncWorktreeV2.commandError.retry":"Repetir","localConversation.syncWorktreeV2.description":"Transfira alterações entre o local e esta árvore de trabalho <a>Saiba mais</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Selecione a direção da transferência","localConversation.syncWorktreeV2.error.generic":"Algo de errado ocorreu ao transferir. Tente novamente.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"Calculando alterações","localConversation.syncWorktreeV2.noChanges.summary":"Nenhuma alteração","localConversation.syncWorktreeV2.overwrite.local":"Sobrescrever local","localConversation.syncWorktreeV2.overwrite.worktree":"Sobrescrever árvore de trabalho","localConversation.syncWorktreeV2.partial.action.applyFailed":"Não foi possível aplicar as alterações","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Não foi possível sobrescrever as alterações locais","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Não foi possível sobrescrever as alterações da árvore de trabalho","localConversation.syncWorktreeV2.partial.appliedLabel":"Aplicados","localConversation.syncWorktreeV2.partial.back":"Anterior","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resolva os conflitos e tente novamente.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflitos","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# arquivo} many {# arquivos} other {# arquivos}}","localConversation.syncWorktreeV2.partial.retry":"Repetir","localConversation.syncWorktreeV2.partial.skippedLabel":"Ignorados","localConversation.syncWorktreeV2.stateFailed.generic":"Algo de errado ocorreu ao buscar as alterações da árvore de trabalho para transferir. Tente novamente.","localConversation.syncWorktreeV2.stateFailed.title":"Falha ao carregar alterações da árvore de trabalho","localConversation.syncWorktreeV2.statusError.diffUnknown":"Falha ao carregar alterações da árvore de trabalho","localConversation.syncWorktreeV2.statusError.retry":"Repetir","localConversation.syncWorktreeV2.statusError.title":"Não foi possível carregar as alterações do branch local","localConversation.syncWorktreeV2.statusError.unknown":"O status do branch não está disponível no momento. Tente novamente.","localConversation.syncWorktreeV2.success.apply":"Alterações aplicadas com sucesso","localConversation.syncWorktreeV2.success.overwrite":"Transferência concluída","localConversation.syncWorktreeV2.title":"Transferir alterações","localConversation.syncWorktreeV2.worktreeLabel":"Árvore de trabalho","localConversation.userInputRequest.inProgress":"Fazendo {count, plural, one {pergunta} many {perguntas} other {perguntas}}","localConversation.userInputRequest.noAnswer":"Nenhuma resposta fornecida","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Fez","localConversation.userInputRequest.summary.count":"{count, plural, one {# pergunta} many {# perguntas} other {# perguntas}}","localConversation.workedFor":"Trabalhou por {time}","localConversation.worktreeBranchSetup.action.create":"Criar","localConversation.worktreeBranchSetup.branchAriaLabel":"Nome do branch","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Criar um novo branch","localConversation.worktreeBranchSetup.checkoutDisabled":"O checkout deste branch já foi efetuado em {location}","localConversation.worktreeBranchSetup.checkoutError":"Falha ao fazer checkout do branch: {message}","localConversation.worktreeBranchSetup.createBranchError":"Falha ao definir branch: {message}","localConversation.worktreeBranchSetup.error":"Algo de errado ocorreu: {message}","localConversation.worktreeBranchSetup.subtitle":"Crie um branch para fazer commit das mudanças, efetuar push e criar um PR a partir desta árvore de trabalho. <a>Saiba mais</a>","localConversation.worktreeBranchSetup.title":"Trabalhar aqui","localConversationPage.addWorktreeToSidebar.tooltip":"Salve como projeto para que você possa iniciar novos tópicos a partir desta árvore de trabalho","localConversationPage.addWorktreeToSidebarError":"Falha ao adicionar projeto","localConversationPage.commitAndCreatePrModal.errorTitle":"Falha ao fazer commit e criar PR","localConversationPage.commitAndCreatePrModal.successTitle":"Commit feito e PR criado","localConversationPage.commitAndPushModal.errorTitle":"Falha ao fazer commit e efetuar push","localConversationPage.commitAndPushModal.successTitle":"Commit e push das alterações efetuados","localConversationPage.commitCreatePr.open":"Abrir pull request","localConversationPage.commitCreatePr.successTitle":"PR criado com suas últimas alterações","localConversationPage.createBranchButtonLabel":"Criar branch aqui","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Criar PR","localConversationPage.createPrModal.createDescription":"Abrir um pull request para suas últimas alterações.","localConversationPage.createPrModal.errorTitle":"O pull request falhou","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Abrir PR","localConversationPage.createPrModal.successTitle":"Pull request criado","localConversationPage.createPrModal.title":"Criar pull request","localConversationPage.createPrModal.viewDescription":"Já existe um pull request para este branch.","localConversationPage.createPrModal.viewTitle":"Pull request pronto","localConversationPage.createPullRequestAuthGh":"Autentique o GitHub CLI: execute `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informações da branch indisponíveis","localConversationPage.createPullRequestButtonLabel":"Criar PR","localConversationPage.createPullRequestButtonLabel.loading":"Criando PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Informações da branch padrão indisponíveis","localConversationPage.createPullRequestError":"Falha ao criar pull request","localConversationPage.createPullRequestExistingPullRequest":"Já existe um pull request para este branch","localConversationPage.createPullRequestGhStatusMissing":"Carregando status do GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Instale o GitHub CLI (gh) para criar PRs","localConversationPage.createPullRequestNoRepo":"Nenhum repositório Git encontrado","localConversationPage.createPullRequestPushStatusMissing":"Carregando status do push…","localConversationPage.createPullRequestSetUpstream":"Efetue o push deste branch antes de criar um PR","localConversationPage.createPullRequestSuccessToast":"Pull request criado","localConversationPage.createPullRequestSwitchBranch":"Confira um branch de funcionalidade antes de criar um PR","localConversationPage.error.render":"Erro ao renderizar a conversa local","localConversationPage.error.toast":"Conversa não encontrada","localConversationPage.forcePushError":"O push forçado falhou","localConversationPage.generatePullRequestMessageError":"Falha ao gerar o corpo e o título do pull request.","localConversationPage.generatePullRequestMessageFailed":"Falha ao gerar o corpo e o título do pull request.","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Cancelar","localConversationPage.gitActionResult.close":"Fechar","localConversationPage.gitActionResult.tryAgain":"Tentar de novo","localConversationPage.gitActions":"Ações do Git","localConversationPage.newChat":"Novo chat","localConversationPage.openInTarget":"Abrir em","localConversationPage.openPrimaryTarget":"Abrir","localConversationPage.planItemsCompleted":"{completedItems} de {totalItems, plural, one {# tarefa concluída} many {# tarefas concluídas} other {# tarefas concluídas}}","localConversationPage.pushAuthError":"Falha no push: autenticação obrigatória","localConversationPage.pushBranchMissing":"Informações da branch indisponíveis","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Efetuando push…","localConversationPage.pushError":"Falha ao efetuar push das alterações","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Cancelar","localConversationPage.pushModal.confirm":"Efetuar push","localConversationPage.pushModal.description":"Efetue o push dos seus últimos commits para o repositório remoto.","localConversationPage.pushModal.errorTitle":"O push falhou","localConversationPage.pushModal.forcePush":"Push forçado","localConversationPage.pushModal.successTitle":"Push concluído","localConversationPage.pushModal.title":"Efetuar push das alterações","localConversationPage.pushModal.tryAgain":"Tentar de novo","localConversationPage.pushNoUpstream":"Configure um upstream antes de efetuar o push deste branch","localConversationPage.pushNoUpstreamError":"Falha no push: nenhum upstream configurado","localConversationPage.pushNothingToPush":"Nenhum commit novo para efetuar push","localConversationPage.pushRemoteChangedError":"Falha no push: o repositório remoto tem novos commits","localConversationPage.pushRemoteRejectedError":"Push recusado pelo repositório remoto","localConversationPage.pushStatusMissing":"Carregando status do push…","localConversationPage.pushSuccessToast":"Push de alterações efetuado","localConversationPage.viewPullRequestButtonLabel":"Exibir PR","localConversationPage.viewPullRequestButtonLabel.loading":"Carregando pull request…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# arquivo} many {# arquivos} other {# arquivos}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} many {# listas} other {# listas}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# busca} many {# buscas} other {# buscas}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Explorando","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Explorou","localConversationTurn.exploration.accordion.header.complete.withCounts":"Explorando {counts}","localConversationTurnStory.showContent":"Exibir conteúdo","localConversationTurnStory.streamContent":"Transmitir conteúdo","localConversationTurnStory.toggleReasoning":"Exibir raciocínio","localTaskRow.archiveError":"Falha ao arquivar a conversa","localTaskRow.resumeError":"Falha ao retomar a tarefa","mermaidDiagram.ariaLabel":"Diagrama Mermaid","mermaidDiagram.copySource":"Copiar código Mermaid","mermaidDiagram.originalCode":"Código-fonte Mermaid","notifications.permissions.description":"Exibir alertas quando permissões de notificação forem necessárias","notifications.permissions.label":"Habilitar notificações de permissão","notifications.turnMode.always":"Sempre","notifications.turnMode.description":"Defina quando o Codex te avisa que terminou","notifications.turnMode.label":"Habilitar notificações de conclusão","notifications.turnMode.off":"Nunca","notifications.turnMode.unfocused":"Apenas quando não estiver em foco","patchApprovalRequest.approve":"Aprovar","patchApprovalRequest.menu.allowAlways":"Sim, e não perguntar novamente nesta sessão","patchApprovalRequest.menu.allowForSession":"Sim, e não perguntar novamente nesta sessão","patchApprovalRequest.menu.allowOnce":"Sim","patchApprovalRequest.prompt":"Você quer fazer estas alterações?","patchApprovalRequest.reject":"Não","patchApprovalRequest.waitingForApproval":"Aguardando aprovação para editar arquivos","pendingRequest.approvalExec.collapse":"Minimizar","pendingRequest.approvalExec.expand":"Expandir","pendingRequestStory.toastAnswer":"Resposta: {answer}","pendingRequestStory.toastApprovalTitle":"Resposta de aprovação","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Sequência enviada","pendingRequestStory.toastNoAnswers":"Nenhuma resposta fornecida","pendingRequestStory.toastQuestion":"Pergunta: {question}","pendingRequestStory.toastUnknownDecision":"Desconhecido","pendingRequestStory.toastUserInputTitle":"Respostas submetidas","quickAction.request.codeReview.branches.new":"Revise as alterações de {from} em relação a {to}","quickAction.request.codeReview.uncommitted.new":"Revise minhas alterações sem commit","reasoningItem.thinking":"Pensando","reasoningItem.thought":"Pensou","reasoningItem.thoughtWithElapsed":"Pensou por {elapsed}","recentConversations.title":"Conversas recentes","recentTasks.worktreeInitFailedTitle":"Falha ao inicializar a árvore de trabalho","recentTasks.worktreeSettingUpTitle":"Configurando árvore de trabalho","requestInputPanel.continue":"Continuar","requestInputPanel.dismiss":"Dispensar","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Digite aqui","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Não, e diga ao Codex o que fazer diferente","requestInputPanel.selectedBadge":"Selecionado","requestInputPanel.skip":"Pular","requestInputPanel.submit":"Enviar","review.commit.ariaLabel.includeUnstaged":"Incluir não marcados para commit","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Fazendo commit…","review.commit.disabled.loadingDiff":"Carregando diff…","review.commit.disabled.missingContext":"Adicione contexto para gerar uma mensagem de commit","review.commit.disabled.noChanges":"Nenhuma alteração para submeter","review.commit.disabled.noSelection":"Selecione alterações para submeter","review.commit.disabled.unavailable":"O commit não está disponível no momento","review.commit.error":"Falha no commit das alterações","review.commit.form.changesToBeCommitted":"Alterações","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuar","review.commit.form.title":"Fazer commit das suas alterações","review.commit.generate.emptyResponse":"Não foi possível gerar uma mensagem de commit.","review.commit.generate.failed":"Falha ao gerar mensagem de commit: {error}","review.commit.generate.missingPrompt":"Adicione contexto para gerar uma mensagem de commit.","review.commit.includeUnstaged":"Incluir não marcados para commit","review.commit.loading.description":"Aguarde, isso pode levar alguns instantes…","review.commit.loading.step.commit.done":"Commit das alterações feito","review.commit.loading.step.commit.pending":"Commit das alterações em curso","review.commit.loading.step.createPr.done":"Pull request criado","review.commit.loading.step.createPr.pending":"Criando pull request","review.commit.loading.step.push.done":"Push efetuado para o branch {branch}","review.commit.loading.step.push.pending":"Efetuando push para o branch {branch}","review.commit.loading.title.commit":"Commit das alterações em curso","review.commit.loading.title.createPr":"Criando um PR","review.commit.loading.title.push":"Efetuando push das alterações","review.commit.messageLabel":"Mensagem do commit","review.commit.messagePlaceholder":"Deixe em branco para gerar uma mensagem de commit automaticamente","review.commit.nextSteps":"Próximos passos","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Fazer commit e criar PR","review.commit.nextSteps.commitAndPush":"Fazer commit e efetuar push","review.commit.nextSteps.prRequiresGh":"Exige o GitHub CLI: {command}","review.commit.rows.changes":"Alterações","review.commit.rows.commitCount":"{count, plural, one {# commit} many {# commits} other {# commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} many {# commits} other {# commits}} e {stats}","review.commit.rows.fileCount":"{count, plural, one {# arquivo} many {# arquivos} other {# arquivos}}","review.commit.state.error.body":"Algo deu errado durante o commit. Verifique o git status e tente novamente.","review.commit.state.error.title":"Falha no commit","review.commit.state.success.title":"Commit das alterações feito","review.commit.untracked.loadingStats":"Carregando estatísticas de diff não rastreadas…","reviewFindingAttachments.count":"{count, plural, one {# achado} many {# achados} other {# achados}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Edite sua configuração para personalizar o comportamento do agente","settings.agent.configuration.configToml.docs":"Documentos","settings.agent.configuration.configToml.restartNote":"Reinicie o Codex após editar para aplicar as alterações","settings.agent.configuration.subtitle":"Essas configurações se aplicam a qualquer lugar em que o Codex seja usado","settings.automations.banner.danger":"As automações são executadas com as configurações padrão da sua área restrita, que atualmente estão definidas como acesso total. Executar automações em segundo plano com acesso total implica em um risco mais elevado, pois o Codex pode modificar arquivos, executar comandos e acessar a rede sem solicitação. Considere atualizar as configurações da área restrita para escrita no espaço de trabalho e usar <rulesDocsLink>regras</rulesDocsLink> para definir seletivamente quais comandos o agente pode executar com acesso total.","settings.automations.banner.defaultHowTo.default":"As automações são executadas com as configurações padrão da sua área restrita. Chamadas de ferramentas falharão se exigirem modificar arquivos fora do espaço de trabalho, acessar a rede ou trabalhar com aplicativos no seu computador. Você pode permitir seletivamente comandos para rodar fora da área restrita usando <rulesDocsLink>regras</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"As automações são executadas com as configurações padrão da sua área restrita, que estão definidas como somente leitura. Chamadas de ferramentas falharão se exigirem modificar arquivos, acessar a rede ou trabalhar com aplicativos no seu computador. Considere atualizar as configurações da área restrita para escrita no espaço de trabalho.","settings.automations.cancel":"Cancelar","settings.automations.create":"Criar","settings.automations.cwdEmpty":"Nenhuma pasta de projeto disponível","settings.automations.cwdLabel":"Projetos","settings.automations.cwdPlaceholder":"Escolha uma pasta","settings.automations.cwdSubtitle":"Se você quiser que uma automação rode em um branch específico, pode especificar isso no seu prompt.","settings.automations.delete":"Excluir","settings.automations.dialog.editTitle":"Editar automação","settings.automations.dialog.newTitle":"Nova automação","settings.automations.dialog.subtitle":"Automatize tarefas recorrentes em segundo plano. O Codex adiciona descobertas à caixa de entrada ou arquiva automaticamente a tarefa se não houver nada a reportar. <learnMoreLink>Saiba mais</learnMoreLink>","settings.automations.dialog.title":"Criar automação","settings.automations.executionCopy.git":"As automações são executadas em segundo plano em árvores de trabalho dedicadas.","settings.automations.executionCopy.nonGit":"Automações em projetos sem controle de versão rodam diretamente no diretório do projeto. Considere usar o Git para habilitar a execução em árvores de trabalho no segundo plano.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Árvore de trabalho","settings.automations.loading":"Carregando…","settings.automations.nameLabel":"Nome","settings.automations.namePlaceholder":"Verifique problemas de sentinela","settings.automations.pause":"Pausar","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"busque falha em $Sentry","settings.automations.resume":"Retomar","settings.automations.rruleSummaryFallback":"Cronograma personalizado","settings.automations.runNow":"Testar","settings.automations.save":"Salvar","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Dias úteis","settings.automations.scheduleBadge.weekends":"Fins de semana","settings.automations.scheduleHeader":"Agendar","settings.automations.scheduleHours":"horas","settings.automations.scheduleLabel":"Executar a cada","settings.automations.scheduleMode.daily":"Diariamente","settings.automations.scheduleMode.interval":"Intervalo","settings.automations.scheduleModeLabel":"Tipo de agendamento","settings.automations.scheduleSummary.daily":"Diariamente, à(s) {time}","settings.automations.scheduleSummary.interval":"A cada {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dia} many {# dias} other {# dias}}","settings.automations.scheduleSummary.intervalDays":"{interval} na(o) {days}","settings.automations.scheduleSummary.intervalHourly":"De hora em hora","settings.automations.scheduleSummary.singleDay":"{day} à(s) {time}","settings.automations.scheduleSummary.weekdays":"Dias úteis à(s) {time}","settings.automations.scheduleSummary.weekdaysLabel":"dias úteis","settings.automations.scheduleSummary.weekends":"Dias úteis à(s) {time}","settings.automations.scheduleSummary.weekendsLabel":"fins de semana","settings.automations.scheduleSummary.weekly":"{days} à(s) {time}","settings.automations.scheduleWeekdays":"Ativada","settings.automations.weekdayState.excluded":"Excluído","settings.automations.weekdayState.included":"Incluído","settings.conversationDetail.steps":"Etapas","settings.conversationDetail.steps.description":"Ocultar comandos e saídas","settings.conversationDetail.stepsWithCommands":"Etapas com comandos de código","settings.conversationDetail.stepsWithCommands.description":"Exibir comandos, recolher saída","settings.conversationDetail.stepsWithOutput":"Etapas com saída de código","settings.conversationDetail.stepsWithOutput.description":"Exibir comandos e expandir saída","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Sem chats arquivados.","settings.dataControls.archivedChats.error":"Não foi possível carregar os chats arquivados.","settings.dataControls.archivedChats.loading":"Carregando chats arquivados…","settings.dataControls.archivedChats.unarchive":"Desarquivar","settings.dataControls.archivedChats.unarchiveError":"Falha ao desarquivar o chat","settings.dataControls.archivedChats.unarchiveSuccess":"Tópico desarquivado. <viewNowLink>Exibir agora</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Tópico desarquivado.","settings.dataControls.archivedChats.untitled":"Chat sem título","settings.dataControls.archivedChats.viewNow":"Exibir agora","settings.editRow.headerPlaceholder":"Chave","settings.editRow.removeEntry":"Remover entrada","settings.editRow.valuePlaceholder":"Valor","settings.general.appearance":"Aparência","settings.general.appearance.codeFont":"Fonte do código","settings.general.appearance.codeFont.description":"Ajuste a fonte e o tamanho usados para código em chats e diffs","settings.general.appearance.codeFontFamily":"Família de fonte do código","settings.general.appearance.codeFontSize":"Tamanho da fonte do código","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Fazer as janelas usarem um fundo sólido ao invés da transparência do sistema","settings.general.appearance.opaqueWindows.label":"Usar fundo opaco da janela","settings.general.appearance.sansFontFamily":"Família de fonte Sans","settings.general.appearance.sansFontFamily.description":"Ajuste a fonte usada na interface do Codex","settings.general.appearance.sansFontSize":"Tamanho da fonte Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Mostrar efeitos de comemoração em tela cheia enquanto o GPT-5.3-Codex-Spark executa o primeiro turno","settings.general.appearance.sparkCelebrationEffects.label":"Efeitos de comemoração do Spark","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Escuro","settings.general.appearance.theme.description":"Usar claro, escuro ou igual ao sistema","settings.general.appearance.theme.light":"Claro","settings.general.appearance.theme.system":"Sistema","settings.general.appearance.usePointerCursors.description":"Alterar o cursor para um ponteiro ao passar o mouse sobre elementos interativos","settings.general.appearance.usePointerCursors.label":"Usar cursores de ponteiro","settings.general.enterBehavior.description":"Quando habilitado, prompts com várias linhas exigem {modifierSymbol} + enter para enviar","settings.general.enterBehavior.label":"Exigir {modifierSymbol} + enter para enviar prompts longos","settings.general.experimentalFeatures":"Recursos experimentais (Beta)","settings.general.experimentalFeatures.empty":"Não há recursos experimentais beta disponíveis.","settings.general.experimentalFeatures.loading":"Carregando recursos experimentais…","settings.general.experimentalFeatures.restartNote":"Reinicie o Codex para aplicar as alterações experimentais de recursos","settings.general.experimentalFeatures.toggle":"Alternar {featureName}","settings.general.followUpQueueMode.description":"Ordene acompanhamentos enquanto o Codex roda ou direcione a execução atual. Pressione {invertFollowUpShortcutLabel} para fazer o oposto por uma mensagem.","settings.general.followUpQueueMode.interrupt":"Direcionar","settings.general.followUpQueueMode.label":"Comportamento da sequência","settings.general.followUpQueueMode.queue":"Ordenar","settings.general.notifications":"Notificações","settings.general.power.preventSleepWhileRunning.description":"Manter o computador ativo enquanto o Codex executa uma tarefa.","settings.general.power.preventSleepWhileRunning.label":"Impedir suspensão durante a execução","settings.git.branchPrefix.ariaLabel":"Prefixo do branch","settings.git.branchPrefix.description":"Prefixo usado ao criar novos branches no Codex","settings.git.branchPrefix.label":"Prefixo do branch","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Falha ao salvar o prefixo do branch","settings.git.branchPrefix.save.success":"Prefixo do branch salvo","settings.git.commitInstructions.ariaLabel":"Instruções de commit","settings.git.commitInstructions.description":"Adicionado aos prompts de geração de mensagem de commit","settings.git.commitInstructions.label":"Instruções de commit","settings.git.commitInstructions.placeholder":"Adicionar orientações para mensagem de commit…","settings.git.commitInstructions.save":"Salvar","settings.git.commitInstructions.save.error":"Falha ao salvar as instruções de commit","settings.git.commitInstructions.save.success":"Instruções de commit salvas","settings.git.forcePush.ariaLabel":"Sempre forçar push","settings.git.forcePush.description":"Use --force-with-lease ao efetuar push a partir do Codex","settings.git.forcePush.label":"Sempre forçar push","settings.git.forcePush.save.disabled":"Sempre forçar push desabilitado","settings.git.forcePush.save.enabled":"Sempre forçar push habilitado","settings.git.forcePush.save.error":"Falha ao salvar a configuração forçar push","settings.git.prInstructions.ariaLabel":"Instruções de pull request","settings.git.prInstructions.description":"Anexado aos corpos de pull requests criados pelo Codex","settings.git.prInstructions.label":"Instruções de pull request","settings.git.prInstructions.placeholder":"Adicionar orientações para pull request…","settings.git.prInstructions.save":"Salvar","settings.git.prInstructions.save.error":"Falha ao salvar as instruções de pull request","settings.git.prInstructions.save.success":"Instruções de pull request salvas","settings.ide.defaultOpenTarget.description":"Onde arquivos e pastas abrem por padrão","settings.ide.defaultOpenTarget.label":"Destino padrão ao abrir","settings.ide.defaultOpenTarget.placeholder":"Nenhum alvo encontrado","settings.ide.language.auto":"Autodetectar","settings.ide.language.autoOption":"Autodetectar","settings.ide.language.description":"Idioma da interface do aplicativo","settings.ide.language.label":"Idioma","settings.ide.language.search":"Buscar idiomas","settings.layout.actionButton":"Reiniciar extensão","settings.layout.actionTitle":"Configurações com ação","settings.layout.fullWidthTitle":"Configurações (largura total)","settings.layout.title":"Configurações","settings.localEnvironments.actions.add":"Adicionar ação","settings.localEnvironments.actions.add.description":"Crie um novo comando para executar a partir da barra de ferramentas.","settings.localEnvironments.actions.add.save":"Salvar","settings.localEnvironments.actions.empty":"Adicione uma ação para executar comandos a partir da barra de ferramentas local.","settings.localEnvironments.actions.icon.debug":"Depurar","settings.localEnvironments.actions.icon.run":"Executar","settings.localEnvironments.actions.icon.test":"Testar","settings.localEnvironments.actions.icon.tool":"Ferramenta","settings.localEnvironments.actions.item.button.delete":"Excluir","settings.localEnvironments.actions.item.command":"Script da ação","settings.localEnvironments.actions.item.name":"Nome","settings.localEnvironments.actions.item.platforms":"Plataformas","settings.localEnvironments.actions.item.platforms.help":"Executar apenas em um sistema operacional específico.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Seleção de plataforma","settings.localEnvironments.actions.item.platforms.specific":"Específico da plataforma","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Excluir","settings.localEnvironments.actions.title":"Ações","settings.localEnvironments.breadcrumb.back":"Anterior","settings.localEnvironments.breadcrumb.edit":"editar","settings.localEnvironments.breadcrumb.root":"Ambientes","settings.localEnvironments.environment.actions.description":"Essas ações podem executar qualquer comando e serão exibidas no cabeçalho.","settings.localEnvironments.environment.actionsLabel":"Ações","settings.localEnvironments.environment.create":"Criar ambiente local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Editar ambiente local","settings.localEnvironments.environment.empty":"Nenhum ambiente local foi configurado para este projeto ainda.","settings.localEnvironments.environment.name":"Nome","settings.localEnvironments.environment.setup":"Script de configuração","settings.localEnvironments.environment.setup.description":"Este script será executado na criação do espaço de trabalho.","settings.localEnvironments.environment.setup.hint":"Roda na raiz do projeto.","settings.localEnvironments.environment.setup.platformOverrides":"Substituições da plataforma","settings.localEnvironments.environment.setup.platformOverrides.add":"Adicionar script de configuração {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Substitui o script padrão para sistemas operacionais específicos.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Remover","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Detalhes do ambiente","settings.localEnvironments.file.missing":"Salvar para criar este arquivo pela primeira vez.","settings.localEnvironments.file.parseError":"Não foi possível analisar o arquivo existente. Ao salvá-lo, ele será sobrescrito. ({error})","settings.localEnvironments.file.path":"Arquivo: {path}","settings.localEnvironments.file.readError":"Falha ao carregar os dados do ambiente local. ({error})","settings.localEnvironments.file.title":"Arquivo de ambiente local","settings.localEnvironments.loading.body":"Buscando a configuração do seu projeto","settings.localEnvironments.loading.title":"Carregando ambientes locais","settings.localEnvironments.preview.devOnly":"(Apenas DEV)","settings.localEnvironments.preview.save":"Salvar","settings.localEnvironments.preview.saveError":"Falha ao salvar o arquivo. ({error})","settings.localEnvironments.preview.title":"Prévia","settings.localEnvironments.save.disabled.name":"Adicione um nome de ambiente para salvar.","settings.localEnvironments.save.disabled.noChanges":"Não há alterações para salvar.","settings.localEnvironments.save.disabled.saving":"Salvando…","settings.localEnvironments.save.success":"Ambiente local salvo","settings.localEnvironments.unavailable.body":"Não foi possível carregar as configurações do ambiente local para este projeto.","settings.localEnvironments.unavailable.title":"Ambientes locais indisponíveis","settings.localEnvironments.workspace.add":"Adicionar projeto","settings.localEnvironments.workspace.title":"Projeto","settings.localEnvironments.workspaceSelect.addLabel":"Adicionar ambiente","settings.localEnvironments.workspaceSelect.description":"Ambientes locais informam ao Codex como configurar árvores de trabalho para um projeto. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Nenhum projeto ainda. Adicione um para configurar ambientes locais.","settings.localEnvironments.workspaceSelect.errorLabel":"O ambiente precisa de atenção","settings.localEnvironments.workspaceSelect.learnMore":"Saiba mais","settings.localEnvironments.workspaceSelect.listLabel":"Projetos disponíveis","settings.localEnvironments.workspaceSelect.loading":"Carregando projetos.","settings.localEnvironments.workspaceSelect.loadingLabel":"Carregando ambiente","settings.localEnvironments.workspaceSelect.title":"Selecione um projeto","settings.localEnvironments.workspaceSelect.viewAction":"Exibir","settings.mcp.addServer":"Adicionar servidor","settings.mcp.app.configure":"Configurar","settings.mcp.app.connect":"Conectar","settings.mcp.apps.refresh":"Atualizar","settings.mcp.detail.addArgument":"Adicionar argumento","settings.mcp.detail.addEnvVar":"Adicionar variável de ambiente","settings.mcp.detail.addEnvVarPassthrough":"Adicionar variável","settings.mcp.detail.args":"Argumentos","settings.mcp.detail.back":"Anterior","settings.mcp.detail.command":"Comando para iniciar","settings.mcp.detail.cwd":"Diretório de trabalho","settings.mcp.detail.docs":"Abrir documentação de MCP","settings.mcp.detail.docs.link":"Documentos","settings.mcp.detail.envVarPassthrough":"Encaminhamento de variáveis do ambiente","settings.mcp.detail.envVars":"Variáveis do ambiente","settings.mcp.detail.http.addEnvHeader":"Adicionar variável","settings.mcp.detail.http.addHeader":"Adicionar cabeçalho","settings.mcp.detail.http.bearerToken":"Variável de ambiente de token do portador","settings.mcp.detail.http.envHeaders":"Cabeçalhos a partir de variáveis do ambiente","settings.mcp.detail.http.headers":"Cabeçalhos","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nome","settings.mcp.detail.save":"Salvar","settings.mcp.detail.switchTransportNotice":"Se quiser alterar o tipo de servidor de MCP, faça a desinstalação primeiro.","settings.mcp.detail.titleExisting":"Atualizar MCP de {name}","settings.mcp.detail.titleNew":"Conectar a um MCP personalizado","settings.mcp.detail.transport.http":"HTTP com streaming","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Desinstalar","settings.mcp.empty":"Nenhum servidor MCP personalizado conectado","settings.mcp.myServers":"Servidores personalizados","settings.mcp.partnerServer.description.figma":"Gere um código melhor trazendo todo o contexto do Figma","settings.mcp.partnerServer.description.github":"Integre com as APIs do GitHub para automatizar fluxos de trabalho e extrair dados","settings.mcp.partnerServer.description.linear":"Integre com o rastreamento de problemas e o gerenciamento de projetos do Linear","settings.mcp.partnerServer.description.notion":"Leia documentos, atualize páginas e gerencie tarefas","settings.mcp.partnerServer.description.playwright":"Integre a automação do navegador para implementar designs e testar IU.","settings.mcp.partnerServer.install":"Instalar","settings.mcp.partnerServer.installAndAuthenticate":"Instalar e autenticar","settings.mcp.partnerServer.logoAlt":"Logotipo {label}","settings.mcp.partnerServer.manage":"Gerenciar","settings.mcp.partnerServer.vendor":"por {vendor}","settings.mcp.recommendedServers":"Servidores recomendados","settings.mcp.restartApp":"Reiniciar","settings.mcp.restartExtension":"Reiniciar extensão","settings.mcp.server.enable":"Habilitar","settings.mcp.server.login":"Autenticar","settings.mcp.server.settings":"Configurações","settings.multiselect.createOption":'Criar "{value}"',"settings.multiselect.removeOption":"Remover","settings.nav.account":"Conta","settings.nav.agent":"Configuração","settings.nav.ariaLabel":"Configurações","settings.nav.back":"Voltar ao aplicativo","settings.nav.data-controls":"Tópicos arquivados","settings.nav.environments":"Ambientes de nuvem","settings.nav.externalTooltip":"[alfa] Abre no navegador","settings.nav.general-settings":"Geral","settings.nav.git-settings":"Git","settings.nav.local-environments":"Ambientes","settings.nav.mcp-settings":"Servidores MCP","settings.nav.notImplemented":"[alfa] Indisponível em Alfa","settings.nav.personalization":"Personalização","settings.nav.skills-settings":"Habilidades","settings.nav.usage-analytics":"Uso e analítica","settings.nav.worktrees":"Árvores de trabalho","settings.openSourceLicenses.back":"Anterior","settings.openSourceLicenses.loading":"Carregando…","settings.openSourceLicenses.missing":"Nenhum aviso de terceiros foi encontrado.","settings.openSourceLicenses.notSupported":"Não disponível neste host.","settings.openSourceLicenses.rowDescription":"Avisos de terceiros para dependências incluídas no pacote","settings.openSourceLicenses.rowLabel":"Licenças de código aberto","settings.openSourceLicenses.subtitle":"Avisos de terceiros para dependências incluídas neste aplicativo","settings.openSourceLicenses.title":"Licenças de código aberto","settings.openSourceLicenses.view":"Exibir","settings.personalization.agents.description":"Edite instruções e personalize o Codex para você. {learnMore}","settings.personalization.agents.learnMore":"Saiba mais","settings.personalization.agents.loadError":"Não foi possível carregar agents.md.","settings.personalization.agents.loading":"Carregando agents.md…","settings.personalization.agents.placeholder":"Adicione suas instruções personalizadas…","settings.personalization.agents.retry":"Repetir","settings.personalization.agents.save":"Salvar","settings.personalization.agents.save.error":"Não foi possível salvar agents.md","settings.personalization.agents.save.success":"Arquivo agents.md salvo","settings.personalization.agents.title":"Instruções personalizadas","settings.personalization.personality.description":"Escolha o tom padrão para as respostas do Codex","settings.personalization.personality.label":"Personalidade","settings.sample.contentBody":"Use esta disposição para montar os painéis de configurações com espaçamento consistente.","settings.sample.contentTitle":"Bloco de conteúdo de exemplo","settings.section.account":"Conta","settings.section.agent":"Configuração","settings.section.data-controls":"Tópicos arquivados","settings.section.environments":"Ambientes de nuvem","settings.section.external":"Abre no seu navegador durante o Alfa","settings.section.general-settings":"Geral","settings.section.git-settings":"Git","settings.section.local-environments":"Ambientes","settings.section.mcp-settings":"Servidores MCP","settings.section.mcp-settings.docs":"Documentos","settings.section.mcp-settings.subtitle":"Conecte ferramentas externas e fontes de dados.","settings.section.personalization":"Personalização","settings.section.skills-settings":"Habilidades","settings.section.unavailable":"Ainda não disponível no Alfa","settings.section.usage-analytics":"Uso e analítica","settings.section.worktrees":"Árvores de trabalho","settings.threadDetail.description":"Escolher quanto da saída de comandos será exibida em tópicos","settings.threadDetail.label":"Detalhes do tópico","settings.worktrees.conversation.untitled":"Conversa sem título","settings.worktrees.delete.error":"Falha ao excluir árvore de trabalho","settings.worktrees.empty.body":"As árvores de trabalho criadas pelo Codex serão exibidas aqui.","settings.worktrees.empty.title":"Nenhuma árvore de trabalho ainda","settings.worktrees.error.body":"Algo deu errado ao carregar árvores de trabalho.","settings.worktrees.error.retry":"Repetir","settings.worktrees.error.title":"Não foi possível carregar árvores de trabalho","settings.worktrees.loading.body":"Buscando detalhes da árvore de trabalho.","settings.worktrees.loading.title":"Carregando árvores de trabalho","settings.worktrees.repository.loading":"Carregando metadados do repositório…","settings.worktrees.repository.unknown":"Repositório desconhecido","settings.worktrees.row.conversations":"Conversas","settings.worktrees.row.conversations.empty":"Nenhuma conversa vinculada a esta árvore de trabalho.","settings.worktrees.row.conversations.loading":"Carregando conversas…","settings.worktrees.row.delete":"Excluir","settings.worktrees.row.title":"Árvore de trabalho","sidebarElectron.addWorkspaceRoot":"Adicionar novo projeto","sidebarElectron.archiveThread":"Arquivar tópico","sidebarElectron.archiveThreadError":"Não foi possível arquivar o tópico","sidebarElectron.collapseFolder":"Minimizar pasta","sidebarElectron.createStableWorktree.dialog.cancel":"Cancelar","sidebarElectron.createStableWorktree.dialog.create":"Criar","sidebarElectron.debugNavLink":"Depurar","sidebarElectron.editWorkspaceRootOptionName":"Editar nome","sidebarElectron.expandFolder":"Expandir pasta","sidebarElectron.groupByMenu.recency":"Lista cronológica","sidebarElectron.groupByMenu.title":"Organizar","sidebarElectron.groupByMenu.workspace":"Por projeto","sidebarElectron.inboxRouteNavLink":"Automações","sidebarElectron.markThreadUnread":"Marcar como não lido","sidebarElectron.missingWorkspaceRoot":"A pasta deste projeto foi excluída ou movida","sidebarElectron.newThread":"Novo tópico","sidebarElectron.newThreadInGroup":"Iniciar novo tópico em {folder}","sidebarElectron.noRecentThreads":"Nenhum tópico recente","sidebarElectron.noTasks":"Nenhum tópico","sidebarElectron.noTasks.start":"Adicionar um novo projeto","sidebarElectron.noTasksWithFilter":"Nenhum tópico corresponde aos filtros","sidebarElectron.pinnedThreads":"Tópicos fixados","sidebarElectron.recentNavLink":"Tópicos","sidebarElectron.recentThreads":"Tópicos recentes","sidebarElectron.removeWorkspaceRootOption":"Remover","sidebarElectron.renameThread":"Renomear tópico","sidebarElectron.renameThreadDialogAriaLabel":"Título do tópico","sidebarElectron.renameThreadDialogCancel":"Cancelar","sidebarElectron.renameThreadDialogPlaceholder":"Adicione um título…","sidebarElectron.renameThreadDialogSave":"Salvar","sidebarElectron.renameThreadDialogSubtitle":"Curto e fácil de identificar.","sidebarElectron.renameThreadDialogTitle":"Renomear tópico","sidebarElectron.renameThreadError":"Falha ao renomear o tópico","sidebarElectron.renameWorkspaceRootOptionLabel":"Nome de exibição","sidebarElectron.showLess":"Mostrar menos","sidebarElectron.showMenu.all":"Todos os tópicos","sidebarElectron.showMenu.relevant":"Relevante","sidebarElectron.showMenu.relevantHint":"Exibir apenas tópicos recentes para o branch atual, árvores de trabalho ou outros tópicos que precisam da sua atenção","sidebarElectron.showMenu.title":"Exibir","sidebarElectron.showMenu.tooltip":"Filtrar, classificar e organizar tópicos","sidebarElectron.showMenu.trigger":"Filtrar tópicos da barra lateral","sidebarElectron.showMore":"Mostrar mais","sidebarElectron.skillsRouteNavLink":"Habilidades","sidebarElectron.sortMenu.created":"Criado","sidebarElectron.sortMenu.title":"Ordenar por","sidebarElectron.sortMenu.updated":"Atualizado","sidebarElectron.taskNavigation":"Pastas de automação","sidebarElectron.tasksInFolder":"Automações em {folder}","sidebarElectron.workspaceOptions":"Ações de projeto para {folder}","sidebarElectron.worktreeGroupTooltip":"Isto é uma árvore de trabalho git","skills.appsPage.createSkill":"Nova habilidade","skills.appsPage.empty.skills":"Nenhuma habilidade encontrada","skills.appsPage.search.skills":"Buscar habilidades","skills.appsPage.search.skills.label":"Buscar habilidades","skills.appsPage.section.installedApps":"Instalado","skills.appsPage.section.skills":"Habilidades","skills.appsPage.subheading":"Dê superpoderes ao Codex. <link>Saiba mais</link>","skills.appsPage.tab.recommended":"Recomendado","skills.appsPage.tab.skills":"Habilidades","skills.card.contentsError":"Não foi possível carregar o conteúdo das habilidades.","skills.card.disable":"Desabilitar","skills.card.disableSuccess":"Habilidade {skillName} desabilitada","skills.card.disabledBadge":"Desabilitada","skills.card.enable":"Habilitar","skills.card.enableSuccess":"Habilidade {skillName} habilitada","skills.card.loadingContents":"Carregando o conteúdo das habilidades…","skills.card.more":"Mais ações","skills.card.open":"Abrir","skills.card.removeFailed":"Falha ao desinstalar a habilidade","skills.card.removeSuccess":"Habilidade {skillName} desinstalada","skills.card.toggleEnabledError":"Falha ao atualizar habilidade","skills.card.try":"Experimentar","skills.card.trySkill":"Experimentar habilidade","skills.card.uninstall":"Desinstalar","skills.hero.dotLabel":"Ir para o slide {index}","skills.hero.next":"Próxima habilidade em destaque","skills.hero.trySkill":"Testar habilidade","skills.page.createSkill":"Nova habilidade","skills.page.empty":"Nenhuma habilidade encontrada","skills.page.filteredEmpty":"Nenhuma habilidade corresponde aos seus filtros","skills.page.filteredEmptyDescription":"Tente ajustar seus filtros de busca ou de escopo","skills.page.heading":"Habilidades","skills.page.loading":"Carregando habilidades…","skills.page.refreshSkills":"Atualizar","skills.page.refreshSkillsToUseNew":"Atualize para usar nova(s) habilidade(s)","skills.page.search":"Buscar habilidades","skills.page.search.label":"Buscar habilidades","skills.page.subheading":"Dê superpoderes ao Codex. <link>Saiba mais</link>","skills.preview.copyPrompt":"Copiar prompt","skills.preview.examplePrompt":"Prompt de exemplo","skills.recommended.error":"Não foi possível carregar as habilidades recomendadas","skills.recommended.install":"Instalar","skills.recommended.installSkill":"Instalar habilidade","skills.recommended.installSuccess":"Habilidade {skillName} instalada","skills.recommended.installed":"Instalado","skills.scope.admin":"Administrador","skills.scope.adminInstalled":"Administrador instalado","skills.scope.builtIn":"Sistema","skills.scope.personal":"Pessoal","skills.scope.repo":"Repositório","skills.scope.system":"Sistema","skills.scope.team":"Equipe","skills.scope.user":"Usuário","skills.section.installed":"Instaladas","skills.section.recommended":"Recomendadas","story.slidingToggle.existing":"Existente","story.slidingToggle.fromLocal":"Do local","story.slidingToggle.new":"Novas","story.slidingToggle.toLocal":"Para o local","terminal.close":"Fechar terminal","terminal.title":"Terminal","thinkingShimmer.default":"Pensando","threadEnvIcon.cloudTooltip":"Esta conversa está sendo executada na nuvem do Codex.","threadEnvIcon.localTooltip":"Esta conversa está sendo executada localmente.","threadEnvIcon.worktreeTooltip":"Esta conversa está sendo executada em uma árvore de trabalho git local.","threadHeader.archiveConfirmCancel":"Cancelar","threadHeader.archiveConfirmConfirm":"Arquivar","threadHeader.archiveConfirmSubtitle":"Você pode encontrar isso depois nos seus tópicos arquivados.","threadHeader.archiveConfirmTitle":"Arquivar tópico?","threadHeader.copyAppLink":"Copiar link direto","threadHeader.copySessionId":"Copiar ID da sessão","threadHeader.copyWorkingDirectory":"Copiar diretório de trabalho","threadHeader.forkIntoLocal":"Bifurcar em local","threadHeader.forkIntoWorktree":"Bifurcar em uma nova árvore de trabalho","threadHeader.forkPendingWorktreePrompt":"Bifurcar esta conversa para uma nova árvore de trabalho.","threadHeader.forkPendingWorktreeTitle":"Conversa bifurcada","threadHeader.forkThreadError":"Falha ao bifurcar o tópico","threadHeader.forkThreadRequiresGitRepo":"Bifurcar em uma nova árvore de trabalho requer um repositório git","threadHeader.moreActions":"Ações do tópico","threadPage.newThread":"Novo tópico","threadPage.runAction.changeEnvironment":"Alterar ambiente","threadPage.runAction.dropdown.titleWithEnvironment":"Ações {environmentName}","threadPage.runAction.environmentSelector.label":"Escolher ambiente","threadPage.runAction.label":"Executar","threadPage.runAction.missing.label":"Configurar uma ação de execução","threadPage.runAction.setup.commandLabel":"Comando para executar","threadPage.runAction.setup.description":"Informe ao Codex como instalar as dependências e iniciar o seu aplicativo.","threadPage.runAction.setup.editMore":"Configurações do ambiente","threadPage.runAction.setup.placeholder":"exemplo: npm install npm run","threadPage.runAction.setup.submit":"Salvar e executar","threadPage.runAction.setup.title":"Executar","threadPage.runAction.tooltip.withEnvironment":"Ações {environmentName}","threadPage.toggleDiffPanel":"Alternar painel de diff","threadPage.toggleTerminal":"Alternar terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Abrir pasta","toolSummaryForCmd.exploredFiles":"Arquivos <verb>listados</verb>","toolSummaryForCmd.exploredFilesInPath":"Arquivos <verb>listados</verb> em {path}","toolSummaryForCmd.exploringFiles":"<verb>Listando</verb> arquivos","toolSummaryForCmd.exploringFilesInPath":"<verb>Listando</verb> arquivos em {path}","toolSummaryForCmd.ranGenericCommand":"<status>Comando executado</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Executado</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Leu</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Executando o comando</status>{timer}","toolSummaryForCmd.runningTimer":"para {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Buscou</verb> por {query}","toolSummaryForCmd.searchedForFiles":"<verb>Buscou</verb> por arquivos","toolSummaryForCmd.searchedForInPath":"<verb>Buscou</verb> por {query} em {path}","toolSummaryForCmd.searchingFor":"<verb>Buscando</verb> por {query}","toolSummaryForCmd.searchingForFiles":"<verb>Buscando</verb> por arquivos","toolSummaryForCmd.searchingForInPath":"<verb>Buscando</verb> por {query} em {path}","traceRecording.details.noteLabel":"O que você estava fazendo quando isso aconteceu? (opcional)","traceRecording.details.notePlaceholder":"Naveguei por um tópico grande e depois mudei de aba várias vezes…","traceRecording.details.submit":"Enviar rastreamento","traceRecording.details.subtitle":"Podemos enviar este rastreamento de perfil para ajudar a diagnosticar problemas de desempenho.","traceRecording.details.title":"Enviar rastreamento de perfil?","traceRecording.progress.subtitle":"Mantenha o Codex aberto enquanto isso é concluído.","traceRecording.saving.title":"Salvando rastreamento…","traceRecording.startDetails.cancel":"Cancelar","traceRecording.startDetails.submit":"Ok, iniciar gravação","traceRecording.startDetails.subtitle":"Após clicar em Ok, reproduza o problema de desempenho e clique no indicador vermelho flutuante para parar e revisar o rastreamento.","traceRecording.startDetails.title":"Como funciona a gravação de rastreamento","traceRecording.stopButton.ariaLabel":"Interromper gravação de rastreamento","traceRecording.upload.successToast":"Rastreamento de perfil enviado.","traceRecording.uploading.title":"Carregando rastreamento…","wham.diff.addComment":"Adicionar comentário","wham.diff.binaryFile":"Arquivo binário não exibido","wham.diff.noContent":"Sem conteúdo","wham.fileTag.deleted":"Excluídos","wham.fileTag.new":"Novas","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} m","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} sem","wham.formattedRelativeDateTime.compactYearsAgo":"{value} a","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Executando sua tarefa","wham.whamProposedTask.title":"Tarefa sugerida","wham.whamProposedTask.useSuggestion":"Usar sugestão","workspaceRootDialog.addError":"Falha ao adicionar projeto","workspaceRootDialog.cancel":"Cancelar","workspaceRootDialog.confirmAdd":"Adicionar projeto","workspaceRootDialog.confirmPick":"Usar projeto","workspaceRootDialog.description":"Informe um caminho em {host} para usar como projeto.","workspaceRootDialog.pathLabel":"Caminho do projeto","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Adicionar caminho do projeto","workspaceRootDialog.title.pick":"Escolher caminho do projeto","worktreeInitV2.cancel":"Cancelar","worktreeInitV2.notification.failedTitle":"Falha na configuração da árvore de trabalho.","worktreeInitV2.output.empty":"Aguardando resultado…","worktreeInitV2.status.error":"Falha na configuração da árvore de trabalho.","worktreeInitV2.status.running":"Criando uma árvore de trabalho e executando a configuração.","worktreeInitV2.status.runningFork":"Criando uma nova árvore de trabalho para bifurcar esta conversa.","worktreeInitV2.status.success":"Árvore de trabalho pronta.","worktreeInitV2.title":"Criando árvore de trabalho","worktreeInitV2.workLocallyInstead":"Trabalhar localmente","worktreeRestoreBanner.body":"A árvore de trabalho deste tópico foi removida para economizar espaço em disco","worktreeRestoreBanner.missing.body":"O diretório de trabalho deste tópico não existe mais","worktreeRestoreBanner.missing.title":"Diretório de trabalho atual ausente","worktreeRestoreBanner.restore.error":"Falha ao restaurar árvore de trabalho: {message}","worktreeRestoreBanner.restore.success":"Árvore de trabalho restaurada","worktreeRestoreBanner.restoreCta":"Restaurar árvore de trabalho","worktreeRestoreBanner.title":"Árvore de trabalho limpa"};Object.assign(e,globalThis.codexI18nOverrides?.["pt-BR"]);export{e as default};
 //# sourceMappingURL=pt-BR-COGAun4k.js.map
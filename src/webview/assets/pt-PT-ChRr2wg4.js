@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Copiar","app.sidebar.hide":"Ocultar barra lateral","app.sidebar.show":"Mostrar barra lateral","app.sidebar.tooltip":"Alternar barra lateral","appHeader.installUpdate":"Atualizar","appSunset.body":"Esta versão da app já não é suportada. Transfira a versão mais recente <here>aqui</here>.","appSunset.title":"É necessário atualizar","automation.updateDirective.create":"Criar","automation.updateDirective.open":"Aberto","automation.updateDirective.untitled":"Automação sem nome","automation.updateDirective.update":"Atualizar","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# tentativa} many {# tentativas} other {# tentativas}}","cloudTaskRow.archiveError":"Falha ao arquivar tarefa","code.diff.requestChange":"Solicitar alteração","code.diffComment.cancel":"Cancelar","code.diffComment.comment":"Comentar","code.diffComment.delete":"Eliminar","code.diffComment.save":"Guardar","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Não foram reportados resultados.","codex.alert.closeAriaLabel":"Fechar","codex.appUpsellBanner.cbpApi.message":"Crie mais rapidamente com a app Codex. Transfira agora ou {learnMoreLink}.","codex.appUpsellBanner.download":"Transferir","codex.appUpsellBanner.freeGo.message":"O Codex está incluído no seu plano até 2 de março. Experimente a app Codex para criar mais rapidamente.","codex.appUpsellBanner.later":"Mais tarde","codex.appUpsellBanner.learnMoreLowercase":"saber mais","codex.appUpsellBanner.new":"Novo","codex.appUpsellBanner.proPlusBusiness.message":"Experimente a app Codex com o dobro dos limites de utilização até 2 de abril. Transfira agora ou {learnMoreLink}.","codex.appUpsellBanner.title":"App Codex","codex.applyDropdown.header.changes":"Alterações","codex.applyDropdown.header.fileCount":"{count, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}}","codex.applyDropdown.header.rows":"linhas","codex.applyDropdown.header.title":"Aplicar alterações","codex.applyDropdown.header.workspace":"Projeto","codex.applyDropdown.results.conflicted":"{count, plural, one {1 ficheiro em conflito:} many {{count} ficheiros em conflito:} other {{count} ficheiros em conflito:}}","codex.applyDropdown.results.empty":"Nenhum ficheiro copiado","codex.applyDropdown.results.skipped":"{count, plural, one {1 ficheiro avançado:} many {{count} ficheiros avançados:} other {{count} ficheiros avançados:}}","codex.applyOrRevertBanner.apply":"Aplicar","codex.applyOrRevertBanner.applyMessage":"Aplicar alterações e continuar localmente?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Esta tarefa foi efetuada em {environment}, pelo que pode não ser devidamente aplicada.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Alterações efetuadas em {environment}, pelo que podem não ser devidamente aplicadas.","codex.applyOrRevertBanner.reapply":"Reaplicar","codex.applyOrRevertBanner.revert":"Reverter","codex.applyOrRevertBanner.revertMessage":"Reverter as alterações aplicadas?","codex.applyResultsDialog.applied":"Devidamente aplicados ({count})","codex.applyResultsDialog.close":"Fechar","codex.applyResultsDialog.conflicted":"Em conflito ({count})","codex.applyResultsDialog.noDetails":"Sem detalhes do ficheiro disponíveis.","codex.applyResultsDialog.skipped":"Avançados ({count})","codex.applyResultsDialog.title":"Aplicar resultados","codex.archiveInfo":"Veja os chats arquivados em {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Controlos de dados","codex.archiveInfo.electron":"Veja os chats arquivados em {settingsLink}","codex.archiveInfo.extension":"Veja os chats arquivados na pasta .codex.","codex.archiveInfo.settingsLink":"Definições","codex.banner.content.description":"Executar tarefas em paralelo, acompanhar o progresso em qualquer lugar e rever PR com IA.","codex.banner.content.headline":"O Codex faz tudo.","codex.cloudTaskRow.archiveTask":"Arquivar tarefa","codex.cloudTaskRow.confirmArchiveTask":"Confirmar","codex.command.feedback":"Feedback","codex.command.findInThread":"Localizar","codex.command.forceReloadSkills":"Forçar o recarregamento das capacidades","codex.command.logOut":"Terminar sessão","codex.command.manageTasks":"Gerir tarefas","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Voltar","codex.command.navigateForward":"Avançar","codex.command.newThread":"Nova thread","codex.command.nextThread":"Thread seguinte","codex.command.openFolder":"Abrir pasta","codex.command.openSkills":"Ir para as capacidades","codex.command.openThreadOverlay":"Abrir janela de thread","codex.command.personalitySettings":"Personalidade","codex.command.previousThread":"Thread anterior","codex.command.settings":"Definições","codex.command.toggleDiffPanel":"Alternar painel de diferença","codex.command.toggleSidebar":"Alternar barra lateral","codex.command.toggleTerminal":"Alternar terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"Configurar","codex.commandGroup.navigation":"Navegação","codex.commandGroup.panels":"Painéis","codex.commandGroup.skills":"Capacidades","codex.commandGroup.thread":"Thread","codex.commandGroup.workspace":"Projeto","codex.commandMenu.noResults":"Sem correspondências","codex.commandMenu.searchPlaceholder":"Comandos de pesquisa","codex.commandMenu.suggestedGroup":"Sugerido","codex.commandMenu.switchWorkspace":"Mudar projeto","codex.commandMenu.title":"Menu de comandos","codex.common.retry":"Tentar novamente","codex.composer.searchBranches":"Procurar ramificações","codex.dialog.basic.body":"Este é um diálogo modal simples que utiliza a nossa camada de abstração sobre o Radix Dialog.","codex.dialog.basic.cancel":"Cancelar","codex.dialog.basic.confirm":"Confirmar","codex.dialog.basic.open":"Abrir diálogo","codex.dialog.basic.title":"Amostra de diálogo","codex.dialog.long.close":"Fechar","codex.dialog.long.line":"Linha deslocável {index} para demonstrar conteúdo longo no diálogo.","codex.dialog.long.open":"Abrir diálogo longo","codex.dialog.long.title":"Diálogo de conteúdo longo","codex.dialog.unstyled.body":"Esta história mostra como os utilizadores podem controlar totalmente o estilo do conteúdo do diálogo.","codex.dialog.unstyled.open":"Abrir diálogo não estilizado","codex.dialog.unstyled.title":"Conteúdo não estilizado","codex.diff.openInEditorPrompt.openButton":"Abrir no editor","codex.diff.openInEditorPrompt.singleLine":"Este ficheiro é demasiado grande para apresentar aqui.","codex.diffView.failedToDecodeBase64Diff":"Falha ao descodificar diferença de base64","codex.diffView.filesChanged":"{fileCount, plural, one {# ficheiro alterado} many {# ficheiros alterados} other {# ficheiros alterados}}","codex.diffView.imagePreviewAlt":"Pré-visualização da imagem","codex.diffView.imagePreviewEmpty":"Sem imagem","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Sem dados de diferença","codex.diffView.pdfPreview.nextPage":"Página seguinte","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Página anterior","codex.diffView.pdfPreviewEmpty":"Sem pré-visualização de PDF","codex.diffView.pdfPreviewError":"Não foi possível gerar a pré-visualização do PDF","codex.diffView.richPreviewDisable":"Desativar pré-visualização avançada","codex.diffView.richPreviewEnable":"Ativar pré-visualização avançada","codex.diffView.richPreviewLoading":"A carregar pré-visualização…","codex.diffView.richPreviewToggle":"Alternar pré-visualização avançada","codex.diffView.switchToUnified":"Mudar para diferença unificada","codex.environmentSelector.noEnvironment":"Sem ambiente","codex.environments.environmentSettings":"Definições do ambiente","codex.environments.learnMore":"Saber mais","codex.environments.listError":"Falha ao carregar ambientes.","codex.environments.noEnvironmentsFound":"Não foram encontrados ambientes","codex.environments.searchError":"Falha ao procurar ambientes.","codex.errorBoundary.genericError":"Ocorreu um erro","codex.errorBoundary.goHome":"Tentar novamente","codex.file.patch.missing":"Não é possível criar correção para este ficheiro.","codex.gallery.automations.cwdLabel":"Projetos","codex.gallery.automations.nameLabel":"Nome","codex.gallery.automations.namePlaceholder":"Resumir uma tarefa","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Descrever o que o Codex deve fazer","codex.gallery.dialogs.automation.label":"Diálogo de automação","codex.gallery.dialogs.basic.body":"Use este esquema para confirmações simples ou formulários curtos.","codex.gallery.dialogs.basic.cancel":"Cancelar","codex.gallery.dialogs.basic.confirm":"Confirmar","codex.gallery.dialogs.basic.label":"Diálogo básico","codex.gallery.dialogs.basic.title":"Amostra de diálogo","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Descreva o problema","codex.gallery.dialogs.feedbackSubmission.bad":"Mau resultado","codex.gallery.dialogs.feedbackSubmission.bug":"Erro","codex.gallery.dialogs.feedbackSubmission.good":"Bom resultado","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Incluir os registos de sessão atuais do Codex","codex.gallery.dialogs.feedbackSubmission.label":"Submissão de feedback","codex.gallery.dialogs.feedbackSubmission.other":"Outros","codex.gallery.dialogs.feedbackSubmission.placeholder":"Descreva o problema aqui","codex.gallery.dialogs.feedbackSubmission.submit":"Submeter","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback carregado. Se o problema persistir, abra um problema do GitHub ou mencione a ID do thread num problema aberto existente:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Descartar","codex.gallery.dialogs.feedbackSuccess.label":"Feedback com sucesso","codex.gallery.dialogs.feedbackSuccess.title":"Feedback carregado","codex.gallery.dialogs.gitApplyResults.applied":"Devidamente aplicados (2)","codex.gallery.dialogs.gitApplyResults.close":"Fechar","codex.gallery.dialogs.gitApplyResults.conflicted":"Em conflito (1)","codex.gallery.dialogs.gitApplyResults.label":"Aplicar resultados","codex.gallery.dialogs.gitApplyResults.title":"Aplicar resultados","codex.gallery.dialogs.gitPushError.body":"Faça pull das alterações mais recentes ou force o push se souber que é seguro substituir o histórico remoto.","codex.gallery.dialogs.gitPushError.cancel":"Cancelar","codex.gallery.dialogs.gitPushError.force":"Forçar push","codex.gallery.dialogs.gitPushError.label":"Erro de push","codex.gallery.dialogs.gitPushError.subtitle":"A sua ramificação está atrás de origem/principal.","codex.gallery.dialogs.gitPushError.title":"Falha ao fazer push das alterações","codex.gallery.dialogs.gitRevert.cancel":"Cancelar","codex.gallery.dialogs.gitRevert.confirm":"Reverter","codex.gallery.dialogs.gitRevert.label":"Reverter alterações","codex.gallery.dialogs.gitRevert.skip":"Não perguntar novamente","codex.gallery.dialogs.gitRevert.subtitle":"Esta ação retira todas estas alterações.","codex.gallery.dialogs.gitRevert.title":"Reverter alterações?","codex.gallery.dialogs.longForm.label":"Diálogo de formulário longo","codex.gallery.dialogs.proseModal.body":"Este estilo de modal é utilizado para instruções mais longas, integração ou blocos de conteúdo ricos.","codex.gallery.dialogs.proseModal.close":"Fechar","codex.gallery.dialogs.proseModal.subtitle":"Partilhe aqui orientações ou documentação em formato longo.","codex.gallery.dialogs.proseModal.title":"Modal de prosa","codex.gallery.dialogs.submitBlocked.label":"Submeter bloqueado","codex.gallery.dialogs.submitBlocked.message":"Não foi possível enviar a sua mensagem porque o projeto não está disponível.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Não é possível enviar mensagem","codex.gallery.dialogs.title":"Diálogos","codex.gallery.dropdown.filterPlaceholder":"Filtrar itens","codex.gallery.dropdowns.actionRow":"Linhas de ação","codex.gallery.dropdowns.actionRow.disabled":"Ação desativada","codex.gallery.dropdowns.actionRow.primary":"Ação principal","codex.gallery.dropdowns.actionRow.secondary":"Ação secundária","codex.gallery.dropdowns.actionRow.trigger":"Mostrar ações","codex.gallery.dropdowns.basic":"Lista pendente básica","codex.gallery.dropdowns.basic.newFile":"Novo ficheiro","codex.gallery.dropdowns.basic.newFolder":"Nova pasta","codex.gallery.dropdowns.basic.openSettings":"Abrir definições","codex.gallery.dropdowns.basic.title":"Ações rápidas","codex.gallery.dropdowns.basic.trigger":"Abrir menu","codex.gallery.dropdowns.basic.upload":"Carregar","codex.gallery.dropdowns.panel":"Superfície do painel","codex.gallery.dropdowns.panel.apply":"Aplicar","codex.gallery.dropdowns.panel.body":"Rever diferenças e aplicar ao seu projeto.","codex.gallery.dropdowns.panel.preview":"Pré-visualização","codex.gallery.dropdowns.panel.title":"Aplicar alterações","codex.gallery.dropdowns.panel.trigger":"Abrir painel","codex.gallery.dropdowns.search":"Lista pendente pesquisável","codex.gallery.dropdowns.search.first":"Canal alpha","codex.gallery.dropdowns.search.second":"Canal beta","codex.gallery.dropdowns.search.third":"Lançamento de candidato","codex.gallery.dropdowns.search.trigger":"Filtrar itens","codex.gallery.dropdowns.submenu":"Lista pendente com submenu","codex.gallery.dropdowns.submenu.optionA":"Projeto alfa","codex.gallery.dropdowns.submenu.optionB":"Projeto beta","codex.gallery.dropdowns.submenu.optionC":"Projeto gama","codex.gallery.dropdowns.submenu.primary":"Atribuir proprietário","codex.gallery.dropdowns.submenu.secondary":"Mover para","codex.gallery.dropdowns.submenu.tertiary":"Arquivar","codex.gallery.dropdowns.submenu.trigger":"Escolher ação","codex.gallery.dropdowns.title":"Listas pendentes","codex.gallery.inbox.automations.close":"Fechar","codex.gallery.inbox.automations.popover.cardTitle":"Gerir automações","codex.gallery.inbox.automations.popover.dialogTitle":"Gerir automações","codex.header.settingsTooltip":"Definições","codex.hunk.patch.error":"Falha ao testar","codex.hunk.patch.missing":"Não é possível criar correção para este bloco.","codex.hunk.patch.partialSuccess":"Sucesso parcial","codex.hunk.patch.revertError":"Falha ao não testar","codex.hunk.patch.revertSuccess":"Não testado com sucesso","codex.hunk.patch.success":"Testado com sucesso","codex.legal.autonomy.details":"Para obter mais detalhes, aceda a {link}","codex.legal.autonomy.details.link":"Documentos do Codex","codex.legal.autonomy.title":"Decidir quanta autonomia quer conceder","codex.legal.backButton":"Voltar","codex.legal.cloud.taskOne.meta":"openai/agi · 12 de out.","codex.legal.cloud.taskOne.title":"Explicar o repositório a um novo designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8 de out.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Criar um tema de modo escuro","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 de out.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Corrigir um erro de integração","codex.legal.continue.apikey":"Continuar","codex.legal.continueButton":"Seguinte","codex.legal.copilot.details":"Usa o seu plano do Copilot para todas as chamadas, faturação e limites de utilização do modelo. A utilização da extensão do Codex está sujeita a {oaiTos} e {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Termos de serviço do GitHub","codex.legal.copilot.oaiTosLink":"Termos de serviço do Codex OpenAI","codex.legal.copilot.title":"Capacitado pelo GitHub Copilot","codex.legal.mistakes.review":"Rever o código que escreve e os comandos que executa","codex.legal.mistakes.title":"O Codex pode cometer erros","codex.legal.powered.details":"Utiliza os limites de utilização do seu plano e {link}","codex.legal.powered.details.link":"preferências de dados de treino","codex.legal.powered.title":"Capacitado pela sua conta do ChatGPT","codex.legal.step.cloud.subtitle":"Envie tarefas para o Codex executar em segundo plano para que possa manter o foco e avançar mais rapidamente.","codex.legal.step.cloud.title":"Entregar ao Codex na nuvem","codex.legal.step.intro.subtitle":"O Codex navega, edita, executa comandos e efetua testes diretamente no seu repositório. Capacitado pela sua conta ChatGPT.","codex.legal.step.intro.title":"Codex no seu IDE","codex.legal.step.todo.subtitle":"Escreva um comentário TODO e converta-o numa tarefa do Codex com um único clique.","codex.legal.step.todo.title":"Transformar TODO em tarefas do Codex","codex.legal.todo.heading":"// TODO: implementar esquema","codex.localConversation.closeImagePreview":"Fechar pré-visualização da imagem","codex.localConversation.userImageAttachment":"Anexo do utilizador","codex.localTaskRow.archiveTask":"Arquivar thread","codex.localTaskRow.awaitingApproval":"A aguardar aprovação","codex.localTaskRow.awaitingResponse":"A aguardar resposta","codex.localTaskRow.confirmArchiveTask":"Confirmar","codex.loggedOut.apiKeyPrompt.cancel":"Cancelar","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Obter chave API","codex.loggedOut.apiKeyPrompt.inputLabel":"Introduza a sua chave API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tarefas da nuvem desativadas com a chave API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tarefas da nuvem desativadas com o Copilot e a chave API","codex.loggedOut.signIn":"Iniciar sessão com o ChatGPT","codex.loggedOut.signIn.cancel":"Cancelar início de sessão","codex.loggedOut.signInWithCopilot":"Iniciar sessão com o GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Usar a chave API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Ferramenta {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Chamado","codex.mcpTool.collapsedLabel.verb.calling":"A chamar","codex.mcpTool.embeddedResource.contentLabel":"Conteúdo","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tipo de MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"A ferramenta não apresentou conteúdo","codex.mcpTool.rawPayloadHeading":"{server} em bruto. Carga útil de chamada da ferramenta {tool}","codex.menu.recent":"Recentes","codex.menu.seeAllHistory":"Ver todo o histórico","codex.modelCapacityBanner.headline.noReset":"{modelName} está no limite de capacidade neste momento. Tente novamente mais tarde ou inicie uma nova conversa com outro modelo.","codex.modelCapacityBanner.headline.withReset":"{modelName}  está no limite de capacidade neste momento. Tente novamente após {resetDate} ou inicie uma nova conversa com outro modelo.","codex.modelCapacityBanner.title":"O modelo selecionado está no limite de capacidade","codex.patch.change.contentsDeleted":"Conteúdos eliminados","codex.patch.change.created":"Criado","codex.patch.change.created-file":"Ficheiro criado","codex.patch.change.creating":"A criar","codex.patch.change.deleted":"Eliminado","codex.patch.change.deleted-file":"Ficheiro eliminado","codex.patch.change.deleting":"A eliminar","codex.patch.change.edited":"Editado","codex.patch.change.edited-file":"Ficheiro editado","codex.patch.change.editing":"A editar","codex.patch.change.noChanges":"Sem alterações","codex.patch.change.rejected-add":"Rejeitado","codex.patch.change.rejected-delete":"Rejeitado","codex.patch.change.rejected-edit":"Rejeitado","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} de {total} tarefas concluídas","codex.plan.todoListCreated":"Lista de tarefas criada com {total} tarefas","codex.profileDropdown.apiKeyAuth":"Sessão iniciada com a chave API","codex.profileDropdown.codexSettings":"Definições do Codex","codex.profileDropdown.copilotAuth":"Sessão iniciada com Copilot","codex.profileDropdown.defaultAccountTitle":"Conta predefinida","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter para enviar prompts longos","codex.profileDropdown.enterBehaviorError":"Falha ao atualizar definição","codex.profileDropdown.getPlus":"Atualize para obter limites superiores","codex.profileDropdown.keyboardShortcuts":"Atalhos de teclado","codex.profileDropdown.language":"Idioma","codex.profileDropdown.languageDefault":"Detetar automaticamente","codex.profileDropdown.languageSearchPlaceholder":"Pesquisar idiomas","codex.profileDropdown.languageUpdateError":"Falha ao atualizar idioma","codex.profileDropdown.logOut":"Terminar sessão","codex.profileDropdown.mcp":"Definições de MCP","codex.profileDropdown.openConfigToml":"Abrir config.toml","codex.profileDropdown.openConfigToml.wsl":"Abrir config.toml no ambiente WSL","codex.profileDropdown.openExtensionSettings":"Abrir definições","codex.profileDropdown.openMcpSettings":"Abrir definições de MCP","codex.profileDropdown.openOnStartup":"Abrir no arranque","codex.profileDropdown.openOnStartupError":"Falha ao atualizar definição","codex.profileDropdown.openSkillsSettings":"Abrir as definições das capacidades","codex.profileDropdown.personalAccountTitle":"Conta pessoal","codex.profileDropdown.queueFollowUps":"Seguimentos de fila","codex.profileDropdown.queueFollowUpsError":"Falha ao atualizar definição","codex.profileDropdown.readDocs":"Ler documentos","codex.profileDropdown.readSkillsDocs":"Ler documentos","codex.profileDropdown.runInWsl":"Executar em WSL","codex.profileDropdown.runInWslError":"Falha ao atualizar definição","codex.profileDropdown.runInWslTooltip":"Executa o Codex no WSL. Recomendado para melhorar a segurança do sandbox e obter um melhor desempenho.","codex.profileDropdown.settings":"Definições de IDE","codex.profileDropdown.settingsPage":"Definições","codex.profileDropdown.signInWithOpenAI":"Iniciar sessão com o ChatGPT","codex.profileDropdown.skills":"Definições das capacidade","codex.profileDropdown.switchToCopilotAccount":"Usar conta Copilot","codex.profileDropdown.switchToOpenAIAccount":"Usar conta OpenAI","codex.profileDropdown.todoCodelens":"Corrigir comentários TODO","codex.profileDropdown.todoCodelensError":"Falha ao atualizar definição","codex.profileDropdown.windowsDocumentation":"Documentação do Windows","codex.profileFooter.signedInFallback":"Definições","codex.profileFooter.upgrade":"Atualizar","codex.recentTasksMenu.clearSearch":"Limpar pesquisa","codex.recentTasksMenu.cloud":"Tarefas da nuvem","codex.recentTasksMenu.count":"{count, plural, =0 {Sem tarefas em curso} one {# tarefa em curso} many {# tarefas em curso} other {# tarefas em curso}}","codex.recentTasksMenu.empty":"Ainda sem threads","codex.recentTasksMenu.errorCloud":"Falha ao carregar tarefas.","codex.recentTasksMenu.errorCloud.inline":"Falha ao carregar tarefas da nuvem.","codex.recentTasksMenu.filterAll":"Todos","codex.recentTasksMenu.filterCloudTasks":"Filtrar tarefas da nuvem","codex.recentTasksMenu.filterTooltip":"Filtrar tarefas por ambiente","codex.recentTasksMenu.local":"Tarefas locais","codex.recentTasksMenu.recent":"Todas as tarefas","codex.recentTasksMenu.search":"Pesquisar tarefas recentes","codex.recentTasksMenu.searchEmpty":"Sem resultados","codex.recentTasksMenu.tooltip":"Histórico de tarefas","codex.recentTasksMenu.trigger":"Tarefas recentes. {count, plural, one {# em curso} many {# em curso} other {# em curso}}","codex.remoteConversation.applyDiff.applyCta":"Aplicar alterações","codex.remoteConversation.applyDiff.dropdownTitle":"Aplicar alterações a uma ramificação local","codex.remoteConversation.applyDiff.revertCta":"Reverter alterações","codex.remoteConversation.closeImagePreview":"Fechar pré-visualização da imagem","codex.remoteConversation.codexCloudTask":"Está a ver uma tarefa da <u>nuvem Codex</u>","codex.remoteConversation.errorWithMessage":"Erro: {message}","codex.remoteConversation.loadingImage":"A carregar imagem","codex.remoteConversation.openInWeb":"Abrir na web","codex.remoteConversation.streaming":"A começar","codex.remoteConversation.turnFailed":"Ocorreu um erro durante esta tarefa","codex.remoteConversation.turnTab.loading":"Tentativa {number}","codex.remoteConversation.turnTab.title":"Tentativa {number}","codex.remoteConversation.userImageAttachment":"Anexo do utilizador","codex.remoteConversation.viewPreviousTurns":"Abrir na web","codex.remoteConversation.viewPreviousTurns.buttonText":"Aberto","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Abrir na web","codex.review.copyGitApplyCommand":"Copiar comando git apply","codex.review.copyGitApplyCommand.toast":"Copiou o comando git apply para a área de transferência","codex.review.diffTooLarge.description":"Esta diferença é demasiado grande para apresentar na Revisão.","codex.review.diffTooLarge.title":"Diferença demasiado grande para apresentar","codex.review.expandOrCollapseDiffButton.collapse":"Reduzir todas as diferenças","codex.review.expandOrCollapseDiffButton.expand":"Expandir todas as diferenças","codex.review.expandOrCollapseDiffMenu.collapse":"Reduzir todas as diferenças","codex.review.expandOrCollapseDiffMenu.expand":"Expandir todas as diferenças","codex.review.fileSearch.clear":"Apagar filtro de ficheiros","codex.review.fileSearch.empty":"Não há ficheiros para o filtro atual.","codex.review.fileSearch.label":"Filtrar ficheiros","codex.review.fileSearch.placeholder":"Filtrar ficheiros…","codex.review.filesChanged":"{num, plural, =0 {Sem ficheiros alterados} one {# ficheiro alterado} many {# ficheiros alterados} other {# ficheiros alterados}}","codex.review.find.loadMore":"Carregar mais correspondências","codex.review.fullReview.hideFileTree":"Ocultar árvore de ficheiros","codex.review.fullReview.showFileTree":"Mostrar árvore de ficheiros","codex.review.header.moreOptions":"Rever opções","codex.review.largeDiff.banner":"Grande diferença detetada — a mostrar um ficheiro de cada vez.","codex.review.loadFullFiles.disable":"Não carregar ficheiros completos","codex.review.loadFullFiles.enable":"Carregar ficheiros completos","codex.review.noDiff":"As alterações de ficheiro serão apresentadas aqui","codex.review.noDiff.gitInit.createRepository":"Crie um repositório git","codex.review.noDiff.gitInit.creating":"A criar…","codex.review.noDiff.gitInit.error":"Falha ao iniciar Git: {message}","codex.review.noDiff.gitInit.success":"Repositório Git criado","codex.review.noDiff.gitRepoRequired.description":"Registar e anular alterações neste projeto","codex.review.noDiff.gitRepoRequired.title":"Crie um repositório Git","codex.review.noDiff.orNoLongerAvailable":"ou as diferenças mais recentes já não estão disponíveis","codex.review.noDiff.reverted":"A última execução foi revertida","codex.review.noDiff.revertedOrCommitted":"A última execução foi revertida ou enviada","codex.review.refreshGitQueries":"Atualizar","codex.review.revert.file.error":"Falha ao reverter {path}","codex.review.revert.file.partialSuccess":"{path} parcialmente revertido","codex.review.revert.file.success":"{path} revertido","codex.review.revert.hunk.error":"Falha ao reverter bloco {hunkNumber} em {path}","codex.review.revert.hunk.partialSuccess":"Bloco {hunkNumber} parcialmente revertido em {path}","codex.review.revert.hunk.success":"Bloco {hunkNumber} revertido em {path}","codex.review.revert.section.error":"Falha ao reverter secção","codex.review.revert.section.partialSuccess":"Secção parcialmente revertida","codex.review.revert.section.success":"Secção revertida","codex.review.revertDialog.cancel":"Cancelar","codex.review.revertDialog.confirm":"Confirmar","codex.review.revertDialog.message":"Esta ação retira todas estas alterações.","codex.review.revertDialog.skip":"Não perguntar novamente","codex.review.revertDialog.title":"Reverter alterações?","codex.review.richPreview.disable":"Desativar pré-visualização avançada","codex.review.richPreview.enable":"Ativar pré-visualização avançada","codex.review.source.cloud":"Alterações na nuvem","codex.review.source.local.all":"Todas as alterações na ramificação","codex.review.source.local.lastTurn":"Últimas alterações da execução","codex.review.source.local.uncommitted":"Alterações não submetidas","codex.review.source.worktree":"Alterações da worktree não submetidas","codex.review.stageFilter.empty.staged.description":"Aceitar edições para as testar","codex.review.stageFilter.empty.staged.title":"Sem alterações testadas","codex.review.stageFilter.empty.unstaged.description":"As alterações de código serão apresentadas aqui","codex.review.stageFilter.empty.unstaged.title":"Sem alterações não testadas","codex.review.stageFilter.staged":"Testadas","codex.review.stageFilter.staged.count":"Testadas · {count}","codex.review.stageFilter.unstaged":"Não testadas","codex.review.stageFilter.unstaged.count":"Não testadas · {count}","codex.review.switchToSplit":"Mudar para diferença dividida","codex.review.switchToUnified":"Mudar para diferença unificada","codex.review.toggleDiffView":"Alternar vista de diferença","codex.review.wordDiffs.disable":"Desativar diferenças de palavras","codex.review.wordDiffs.enable":"Ativar diferenças de palavras","codex.review.wrap.disable":"Desativar envolvimento de palavras","codex.review.wrap.enable":"Ativar envolvimento de palavras","codex.section.patch.missing":"Não é possível criar correção para esta secção.","codex.shell.collapse":"Reduzir shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Copiou conteúdos de shell","codex.shell.copy.copyTooltip":"Copiar conteúdos de shell","codex.shell.copyCommand":"Copiar comando","codex.shell.copyOutput":"Copiar resultado","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Expandir shell","codex.shell.name":"Shell","codex.shell.noOutput":"Sem saída","codex.signInFailed.message":"Início de sessão falhou: {rawMessage}","codex.stories.toast.show":"Mostrar Toast","codex.stories.tooltip.basic":"Isto é uma dica","codex.stories.tooltip.hoverMe":"Passar por cima","codex.stories.tooltip.largerOffset":"Esta dica tem um desvio maior","codex.stories.tooltip.offsetButton":"Desvio maior","codex.stories.tooltip.shortcutButton":"Com atalho","codex.stories.tooltip.withShortcut":"Alternar terminal","codex.taskRow.title":"Nova thread","codex.taskRowLayout.confirm":"Confirmar","codex.threadFindBar.chatFilter":"Procurar chat","codex.threadFindBar.close":"Fechar localizar","codex.threadFindBar.diffFilter":"Pesquisar diferenças","codex.threadFindBar.label":"Localizar em thread","codex.threadFindBar.nextResult":"Resultado seguinte","codex.threadFindBar.noResults":"0 resultados","codex.threadFindBar.placeholder":"Pesquisar thread…","codex.threadFindBar.placeholder.extension":"Pesquisar thread…","codex.threadFindBar.placeholder.review":"Pesquisar diferenças…","codex.threadFindBar.placeholder.review.extension":"Pesquisar diferenças…","codex.threadFindBar.previousResult":"Resultado anterior","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# ficheiro alterado} many {# ficheiros alterados} other {# ficheiros alterados}}","codex.unifiedDiff.inlineLargeFile":"Demasiado grande para apresentar inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Anular","codex.unifiedDiff.revertPatchError":"Falha ao reverter alterações","codex.unifiedDiff.revertPatchSuccess":"Alterações revertidas","codex.unifiedDiff.reviewChangesSuffix":"alterações","codex.unifiedDiff.reviewShort":"Revisão","codex.unifiedDiff.viewDiffTooltip":"Revisão","codex.upsellBanner.business.headline":"Para ter mais acesso de imediato, envie um pedido para o seu administrador ou aguarde até {resetDate}.","codex.upsellBanner.cbp.headline":"Para ter mais acesso, envie um pedido para o seu administrador.","codex.upsellBanner.cta.addCredits":"Adicionar créditos","codex.upsellBanner.cta.upgradeAccount":"Atualizar","codex.upsellBanner.cta.viewUsage":"Ver utilização","codex.upsellBanner.free.trialHeadline":"O seu limite de utilização é reposto a {resetDate}. Para continuar a usar o Codex e obter acesso ao GPT-5.3-Codex, inicie já a sua avaliação gratuita do Plus.","codex.upsellBanner.freeOrGo.headline":"O seu limite de utilização é reposto a {resetDate}. Para continuar a usar o Codex, atualize para o Plus.","codex.upsellBanner.general.headline":"O seu limite de utilização é reposto a {resetDate}.","codex.upsellBanner.general.title":"Esgotou as mensagens do Codex","codex.upsellBanner.go.trialHeadline":"O seu limite de utilização é reposto a {resetDate}. Para continuar a usar o Codex, inicie já a sua avaliação gratuita do Plus.","codex.upsellBanner.plus.headline":"O seu limite de utilização é reposto a {resetDate}. Para continuar a usar o Codex, adicione créditos ou atualize para o Pro.","codex.upsellBanner.pro.headline":"O seu limite de utilização é reposto a {resetDate}. Adicione créditos para continuar a usar o Codex.","codex.userMessage.autoResolveSync":"Resolver conflitos automaticamente","codex.userMessage.commentCount":"{count, plural, one {# comentário} many {# comentários} other {# comentários}}","codex.userMessage.copiedAriaLabel":"Copiado","codex.userMessage.copiedTooltip":"Copiado","codex.userMessage.copyAriaLabel":"Copiar mensagem","codex.userMessage.copyTooltip":"Copiar","codex.userMessage.implementPlan":"Implementar plano","codex.userMessage.noContent":"(Sem conteúdo)","codex.userMessage.priorConversation":"Referência à conversa anterior","codex.userMessage.reviewMode":"Modo de revisão","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"para {query}","codex.webSearch.summary.verb.completed":"Pesquisado na web","codex.webSearch.summary.verb.inProgress":"A pesquisar na web","codex.windowsInstallWslBanner.dismiss":"Descartar","codex.windowsInstallWslBanner.installWslCta":"Ativar sandbox","codex.windowsInstallWslBanner.learnMore":"Saber mais","codex.windowsSandboxBanner.content":"O modo de agente usa um sandbox experimental no Windows para limitar o acesso ao sistema de ficheiros e à rede. {sandboxLink}","codex.windowsSandboxBanner.title":"Ativar sandbox para o modo de agente","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Definições do Windows","codexUpgradeModal.body":"O nosso modelo mais recente de programação por agente: mais inteligente, mais rápido e mais capaz para trabalho técnico geral. {link}","codexUpgradeModal.close":"Fechar","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Saber mais","codexUpgradeModal.title":"Apresentamos o GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Experimente já o GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Continuar com o modelo atual","commentAttachments.numComments":"{count, plural, one {# comentário} many {# comentários} other {# comentários}}","commentAttachments.removeAriaLabel":"Retirar anexo de comentários","common.close":"Fechar","composer.addContext.openFilePickerError":"Não foi possível abrir o seletor de ficheiros","composer.addContextDropdown.ariaLabel":"Adicionar ficheiros e mais","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Adicionar ficheiros e mais","composer.addPhotosAndFiles":"Adicionar fotos e ficheiros","composer.atMentionList.emptyQuery":"Escrever para procurar ficheiros","composer.atMentionList.loading":"A procurar...","composer.atMentionList.noResults":"Sem resultados","composer.attemptsSelector.option":"{count, plural, one {# versão} many {# versões} other {# versões}}","composer.attemptsSelector.tooltip":"Número de tentativas paralelas para o Codex efetuar","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Parar","composer.cloudFollowUp.cloud":"Nuvem","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"Onde deve ser executado este seguimento?","composer.cloudTaskCreationError":"Erro ao criar tarefa da nuvem","composer.cloudTaskError":"Erro ao criar tarefa","composer.contextWindow.autoCompactionTooltipLine1":"O Codex compacta automaticamente o seu contexto","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Janela de contexto:","composer.contextWindowUsageStatusFull":"{usage}% cheia","composer.contextWindowUsageStatusLeft":"{usage}% usou ({remaining}% restante)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens usados","composer.customCliTooltip":"Utilizar um executável CLI personalizado","composer.dictation.aria":"Ditar","composer.dictation.cancel.aria":"Parar ditado","composer.dictation.cancel.tooltip":"Parar ditado","composer.dictation.startError":"Não foi possível iniciar ditado","composer.dictation.submit.aria":"Transcrever e enviar","composer.dictation.submit.tooltip":"Transcrever e enviar","composer.dictation.tooltip":"Manter premido para ditar","composer.dictation.transcribeError":"Não foi possível transcrever áudio","composer.dictation.unsupported":"O ditado não está disponível neste dispositivo","composer.dropOverlay.holdShift":"Manter premido {key} para largar","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Criar novo","composer.environmentSelector.error":"Erro ao carregar ambientes","composer.environmentSelector.goBack":"Voltar ao compositor","composer.environmentSelector.title":"Selecionar ambiente","composer.environmentSelector.tooltip":"Selecionar um ambiente da nuvem","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Selecionar um ficheiro","composer.filePicker.selectFiles":"Selecionar ficheiros","composer.followerTooltip":"Para continuar, volte à janela onde esta conversa começou.","composer.footer.branchSwitch.checkoutError":"Falha ao mudar de ramificação {message}","composer.footer.branchSwitch.createAndCheckout":"Criar e verificar nova ramificação…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Faça commit das alterações para criar e verificar uma nova ramificação","composer.footer.branchSwitch.createBranchError":"Falha ao criar ramificação: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nome da ramificação","composer.footer.branchSwitch.createDialog.branchExistsError":"A ramificação já existe.","composer.footer.branchSwitch.createDialog.close":"Fechar","composer.footer.branchSwitch.createDialog.createAndCheckout":"Criar e verificar","composer.footer.branchSwitch.createDialog.placeholder":"nova-ramificação","composer.footer.branchSwitch.createDialog.title":"Criar e verificar ramificação","composer.footer.branchSwitch.createDialog.trailingSlashError":"O nome da ramificação não pode terminar com “/”.","composer.footer.branchSwitch.tooltip":"Mudar ramificação","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Faça commit das alterações em {fileCount, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}} para verificar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"alterações em {fileCount, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}} para verificar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Cancelar","composer.footer.branchSwitch.uncommittedDialog.commit":"Fazer commit e mudar de ramificação…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"As suas alterações aos seguintes ficheiros serão substituídas pela verificação:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Faça commit das suas alterações para continuar","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"a ramificação selecionada","composer.footer.branchSwitch.uncommittedDialog.title":"Faça commit das alterações para mudar de ramificação","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Sem commit: {fileCount, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}}","composer.forkSlashCommand.description":"Dividir esta conversa para local ou para uma nova worktree","composer.forkSlashCommand.option.local.description":"Continuar numa nova thread","composer.forkSlashCommand.option.local.title":"Dividir para local","composer.forkSlashCommand.option.worktree.description":"Continuar numa nova worktree","composer.forkSlashCommand.option.worktree.title":"Dividir numa nova worktree","composer.forkSlashCommand.title":"Dividir","composer.ideContextIndicator":"Contexto do IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Incluir contexto do IDE","composer.ideContextIndicator.tooltipToggle":"para ativar/desativar","composer.ideContextSlashCommand.disableDescription":"Desativar contexto do IDE","composer.ideContextSlashCommand.enableDescription":"Incluir a seleção atual, ficheiros abertos e outro contexto do seu IDE","composer.ideContextSlashCommand.title":"Contexto do IDE","composer.imageInputsUnsupported":"Este modelo não suporta carregamento de imagens. Tente um modelo diferente.","composer.imageUploadFailed":"Falha ao carregar imagem","composer.includeIdeContextDropdown":"Incluir contexto IDE","composer.includeIdeContextDropdown.ariaLabel":"Incluir contexto IDE","composer.localCwdDropdown.addWorkspaceRoot":"Adicionar novo projeto","composer.localCwdDropdown.noActiveRoot":"Selecione o seu projeto","composer.localCwdDropdown.noResults":"Nenhuma pasta encontrada","composer.localCwdDropdown.title":"Selecione o seu projeto","composer.localTaskError":"Erro ao iniciar conversa","composer.mcpSlashCommand.description":"Mostrar o estado do servidor MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Não autenticado","composer.mcpStatus.authOauth":"Autenticado (OAuth)","composer.mcpStatus.authToken":"Autenticado (chave API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Fechar","composer.mcpStatus.disabled":"Desativado","composer.mcpStatus.emptyLabel":"Servidores:","composer.mcpStatus.emptyValue":"Sem servidores MCP configurados","composer.mcpStatus.enabled":"Ativado","composer.mcpStatus.errorLabel":"Estado:","composer.mcpStatus.errorValue":"Não é possível carregar o estado de MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agente","composer.mode.agentMode.auto.dropdownLabel":"Agente","composer.mode.agentMode.auto.optionLabel":"Agente","composer.mode.agentMode.changePermission":"Mudar de modo","composer.mode.agentMode.custom":"Personalizado","composer.mode.agentMode.custom.dropdownLabel":"Personalizado","composer.mode.agentMode.custom.option":"Personalizado (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personalizado (config.toml)","composer.mode.agentMode.customInfo.cancel":"Cancelar","composer.mode.agentMode.customInfo.cli":"Pode ajustar as definições a partir do CLI ou editando o ficheiro diretamente.","composer.mode.agentMode.customInfo.confirm":"Usar o modo personalizado","composer.mode.agentMode.customInfo.description":"O modo personalizado aplica as políticas de aprovação e sandbox definidas no seu ficheiro <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Saiba mais sobre como configurar as políticas de aprovação e sandbox nos<link>documentos do ambiente de execução</link>.","composer.mode.agentMode.customInfo.refresh":"As alterações têm efeito na próxima vez que o agente seja executado.","composer.mode.agentMode.customInfo.title":"Como funciona o modo personalizado","composer.mode.agentMode.fullAccess":"Agente (acesso completo)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agente (acesso completo)","composer.mode.agentMode.fullAccess.optionLabel":"Agente (acesso completo)","composer.mode.agentMode.fullAccessConfirm.caution":"Tenha cuidado ao ativar o acesso completo. Isto aumenta significativamente o risco de perda de dados, fugas ou comportamentos inesperados.","composer.mode.agentMode.fullAccessConfirm.confirm":"Sim, continuar","composer.mode.agentMode.fullAccessConfirm.description":"Quando o Codex é executado com acesso completo, pode editar qualquer ficheiro no seu computador e executar comandos com acesso à rede, sem precisar da sua aprovação.","composer.mode.agentMode.fullAccessConfirm.goBack":"Cancelar","composer.mode.agentMode.fullAccessConfirm.title":"Ativar acesso completo?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Mudar de modo","composer.mode.agentMode.tooltip.auto":"Ler e editar ficheiros, e executar comandos.","composer.mode.agentMode.tooltip.custom":"Usar as políticas de aprovação e sandbox mais recentes definidas em config.toml.","composer.mode.agentMode.tooltip.fullAccess":"O Codex pode editar ficheiros fora do projeto e executar comandos com acesso à rede. Tenha cuidado ao utilizar.","composer.mode.agentMode.tooltip.readOnly":"Requer aprovação para editar ficheiros e executar comandos.","composer.mode.cloud.tooltip":"Trabalhar num ambiente da nuvem","composer.mode.contactAdmin":"Para obter mais acesso, contacte o seu administrador","composer.mode.local":"Local","composer.mode.local.learnMore":"Saber mais","composer.mode.local.model.custom":"Personalizado","composer.mode.local.model.loadingModel":"A carregar modelo","composer.mode.local.model.selecrReasoningEffort":"Selecionar raciocínio","composer.mode.local.model.selectModel":"Selecionar modelo","composer.mode.local.model.tooltip":"Escolher modelo","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Elevado","composer.mode.local.reasoning.low.label":"Baixo","composer.mode.local.reasoning.medium.label":"Médio","composer.mode.local.reasoning.minimal.label":"Mínimo","composer.mode.local.reasoning.none.label":"Nenhum","composer.mode.local.reasoning.xhigh.label":"Muito elevado","composer.mode.localRemoteWhereRun":"Selecionar onde executar a tarefa","composer.mode.newTask.header":"Continuar em","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"Limites de utilização restantes","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"Limite de {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {limite semanal} many {{weeks} limite semanal} other {{weeks} limite semanal}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Semanalmente} many {{weeks} Semana} other {{weeks} Semana}}","composer.mode.remote.connectToCloud":"Ligar Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Configurar um ambiente através do Codex web para ativar o envio de tarefas para a nuvem","composer.mode.remote.selectEnvironment":"Selecionar ambiente","composer.mode.remote.sendToCloud":"Enviar para nuvem","composer.mode.remote.setupViaWeb":"Configurar um ambiente através do Codex web","composer.mode.runInCloud":"Nuvem","composer.mode.runInCloudWithEnvironment":"Nuvem · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Trabalhar no ambiente da nuvem","composer.mode.segmentedToggle.local.tooltip":"Trabalhe no seu projeto local","composer.mode.segmentedToggle.worktree.tooltip":"Trabalhar numa worktree paralela","composer.mode.upgradeToPlus":"Atualizar para Plus","composer.mode.upgradeToPro":"Atualizar para Pro","composer.mode.workLocally":"Projeto local","composer.mode.workLocally.currentBranchFallback":"a sua ramificação","composer.mode.workLocally.tooltip":"Trabalhar em {branchName}","composer.mode.worktree":"Nova worktree","composer.mode.worktree.submoduleWarning":"Este repositório tem submódulos git. A criação da worktree pode falhar","composer.mode.worktree.tooltip":"Crie uma cópia do seu projeto local para trabalhar em simultâneo","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Mudar de modelo a meio da conversa irá degradar o desempenho.","composer.newChat.heading.browser":"O que devemos programar a seguir?","composer.permissionsDropdown.agentMode.tooltip.custom":"O Codex utiliza a permissão definida em config.toml","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"O Codex tem acesso total ao seu computador (risco elevado)","composer.permissionsDropdown.custom.label":"Personalizado (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personalizado (config.toml)","composer.permissionsDropdown.default.label":"Permissões predefinidas","composer.permissionsDropdown.default.optionLabel":"Permissões predefinidas","composer.permissionsDropdown.default.tooltip":"O Codex executa automaticamente comandos numa sandbox","composer.permissionsDropdown.disabled.requirements":"As permissões estão bloqueadas por requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Acesso completo desativado por requisitos.toml","composer.permissionsDropdown.fullAccess.label":"Acesso completo","composer.permissionsDropdown.fullAccess.optionLabel":"Acesso completo","composer.permissionsDropdown.trigger.tooltip":"Alterar permissões","composer.personalitySlashCommand.description.friendly":"Caloroso, colaborativo e prestável","composer.personalitySlashCommand.description.pragmatic":"Conciso, focado na tarefa e direto","composer.personalitySlashCommand.label.friendly":"Amigável","composer.personalitySlashCommand.label.pragmatic":"Pragmático","composer.personalitySlashCommand.notApplicableSuffix":"(Não se aplica ao modelo atual)","composer.personalitySlashCommand.title":"Personalidade","composer.placeholder.cloudFollowUp.directFollowUp":"Seguimento desta tarefa da nuvem","composer.placeholder.cloudFollowUp.local":"Crie uma nova tarefa local que faça referência a esta tarefa da nuvem.","composer.placeholder.cloudFollowUp.workingTree":"Crie uma nova tarefa da nuvem que inclua o seu código atual e faça referência a esta tarefa","composer.placeholder.localFollowUp.cloud":"Seguimento de uma nova tarefa da nuvem","composer.placeholder.localFollowUp.locally":"Solicitar alterações de seguimento","composer.placeholder.newTask.cloud":"Pedir ao Codex para fazer qualquer coisa na nuvem","composer.placeholder.newTask.doAnything":"Pedir ao Codex para fazer qualquer coisa","composer.placeholder.newTask.locally":"Pergunte tudo ao Codex, @ para adicionar ficheiros, / para comandos","composer.planModeDropdown":"Modo de plano","composer.planModeDropdown.ariaLabel":"Modo de plano","composer.planModeIndicator":"Plano","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Criar um plano com o Codex","composer.planModeIndicator.tooltipToggle":"para ativar/desativar","composer.planSlashCommand.disableDescription":"Desativar modo de plano","composer.planSlashCommand.enableDescription":"Ativar modo de plano","composer.planSlashCommand.title":"Modo de plano","composer.priorContext.label":"Contexto anterior","composer.priorContext.removeAriaLabel":"Remover o contexto anterior","composer.queuedMessage.delete":"Eliminar mensagem em fila","composer.queuedMessage.edit":"Editar mensagem","composer.queuedMessage.more":"Ações de mensagens em fila","composer.queuedMessage.sendNow":"Orientar","composer.queuedMessage.sendNowTooltip":"Enviar agora sem interromper o trabalho","composer.queuedMessage.turnOff":"Desligar colocação em fila","composer.reasoningEffort.local.reasoning.tooltip":"Selecionar esforço de raciocínio","composer.remote.branchStartingPoint":"Esta ramificação deve começar a partir de que tarefa?","composer.remote.branchesSectionHeading":"Ramificações","composer.remote.currentEditsSuffix.followUp":"Crie uma nova tarefa que faça referência a esta tarefa da nuvem.","composer.remote.currentEditsSuffix.useLocal":"com alterações de código local","composer.remote.directFollowUp":"Não usar alterações locais","composer.remote.errorLoadingBranches":"Erro ao carregar ramificações","composer.remote.fromBranch":"De {branch}","composer.remote.fromCurrentBranch":"A partir de {branch} (atual)","composer.remote.loadingMoreBranches":"A carregar...","composer.remote.localFileStateHeading":"Estado do ficheiro local","composer.remote.localWorkingTree":"Usar alterações locais","composer.remote.startingPoint":"Esta tarefa deve começar a partir de que código?","composer.reviewMode.branches.error":"Não foi possível carregar ramificações","composer.reviewMode.branches.retry":"Tentar novamente","composer.reviewMode.gitRoot.error":"Raiz de git não encontrada","composer.reviewMode.option.baseBranch.simple":"Rever em relação à ramificação de base","composer.reviewMode.option.unstaged.simple":"Rever alterações não submetidas","composer.reviewMode.quickReviewError":"Falha ao iniciar revisão do código.","composer.reviewMode.title":"Rever o código","composer.sandboxButton.unlock.disabled.tooltip":"Acesso completo desativado por requisitos.toml","composer.sandboxButton.windowsSandboxDialog.content":"O Codex pode usar um sandbox experimental no Windows para limitar o acesso ao sistema de ficheiros e à rede. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Ativar sandbox do Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Usar só de leitura","composer.searchEnvironments":"Procurar ambientes","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"A carregar capacidades...","composer.skillMentionList.noResults":"Não foram encontradas capacidades","composer.slashCommands.cloudEnvironment.title":"Ambiente da nuvem","composer.slashCommands.dialogLabel":"Menu de comandos com barra","composer.slashCommands.dialogTitle":"Comandos com barra","composer.slashCommands.disabledTooltip":"Iniciar uma nova conversa para usar comandos com barra","composer.slashCommands.inputPlaceholder":"Procurar","composer.slashCommands.noResults":"Sem comandos","composer.slashCommands.skillsGroup":"Capacidades","composer.slashCommands.tooltip":"Pesquisar comandos com barra","composer.status.close":"Fechar","composer.statusPlain.alertLabel":"Aviso:","composer.statusPlain.alertValue":"{remaining}% restante em {window}","composer.statusPlain.contextLabel":"Contexto:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} usado / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% restante","composer.statusPlain.heading":"Estado","composer.statusPlain.modelRateLimitSectionLabel":"Limite de {modelName}:","composer.statusPlain.rateLimitDays":"Limite de {count} d","composer.statusPlain.rateLimitFallbackLabel":"Limite de utilização:","composer.statusPlain.rateLimitHours":"Limite de {count} h","composer.statusPlain.rateLimitLabelBase":"Limite de utilização","composer.statusPlain.rateLimitMinutes":"Limite de {count} m","composer.statusPlain.rateLimitPercent":"{remaining}% restante","composer.statusPlain.rateLimitReset":"reposição em {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"tempo de reposição indisponível","composer.statusPlain.rateLimitUnavailable":"Indisponível","composer.statusPlain.sessionCopiedAriaLabel":"ID da sessão copiada","composer.statusPlain.sessionCopiedTooltip":"ID copiada","composer.statusPlain.sessionCopyAriaLabel":"Copiar ID da sessão","composer.statusPlain.sessionCopyTooltip":"Copiar ID","composer.statusPlain.sessionLabel":"Sessão:","composer.statusSlashCommand.description":"Mostrar ID de thread, utilização de contexto e limites de utilização","composer.statusSlashCommand.title":"Estado","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Não é possível enviar mensagem","composer.submit.emptyMessage":"Introduza uma mensagem para começar","composer.submit.imageInputsUnsupported":"Remova imagens ou mude de modelo para enviar esta mensagem.","composer.submit.loadingLocalConfig":"A carregar...","composer.submit.missingCloudConfig":"Tem de escolher um ambiente da nuvem","composer.submit.missingCloudTurn":"Não é possível seguir esta tarefa","composer.submit.noWorkspace":"Adicione um projeto para usar o Codex","composer.submit.waitForImageUploads":"Imagens a carregar…","composer.submitButtonTooltip.send":"Enviar","composer.submitButtonTooltip.stop":"Parar","composer.worktreeEnvironment.create":"Criar ambiente local","composer.worktreeEnvironment.default":"Ambiente predefinido","composer.worktreeEnvironment.error":"Erro ao carregar ambientes","composer.worktreeEnvironment.loading":"A carregar ambientes...","composer.worktreeEnvironment.title":"Ambiente local","composer.worktreeEnvironment.tooltip":"Selecionar um ambiente local","composer.worktreeSetupFailed":"Falha na configuração da worktree. Verifique .codex/environments para um script de configuração.","compoundButton.secondaryAction":"Ação secundária","copyButton.copied":"Copiado","copyButton.copiedAriaLabel":"Copiado","copyButton.copy":"Copiar","copyButton.copyAriaLabel":"Copiar","copyButton.copyCode":"Copiar código","diff.actionButton.revertFile":"Reverter ficheiro","diff.actionButton.revertHunk":"Reverter","diff.actionButton.revertSection":"Reverter tudo","diff.actionButton.revertSectionLabel":"Reverter tudo","diff.actionButton.stageFile":"Testar ficheiro","diff.actionButton.stageHunk":"Testar","diff.actionButton.stageSection":"Testar tudo","diff.actionButton.stageSectionLabel":"Testar tudo","diff.actionButton.unstageFile":"Não testar ficheiro","diff.actionButton.unstageHunk":"Não testar","diff.actionButton.unstageSection":"Não testar tudo","diff.actionButton.unstageSectionLabel":"Não testar tudo","diff.fileHeader.toggle":"Alternar diferenças de ficheiros","electron.onboarding.login.apikey.cancel":"Cancelar","electron.onboarding.login.apikey.continue":"Continuar","electron.onboarding.login.apikey.label":"Chave API OpenAI","electron.onboarding.login.apikey.open":"Introduzir chave API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Cancelar início de sessão","electron.onboarding.login.chatgpt.continue":"Continuar com ChatGPT","electron.onboarding.login.devbox":"Ligar a um SSH remoto","electron.onboarding.login.error":"Início de sessão falhou: {rawMessage}","electron.onboarding.login.snake.start":"Reproduzir Snake","electron.onboarding.login.sshConfig.cancel":"Cancelar","electron.onboarding.login.sshConfig.continue":"Continuar","electron.onboarding.login.sshConfig.hostnameLabel":"Nome do anfitrião SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"A melhor forma de criar com agentes","electron.onboarding.login.title":"Damos-lhe as boas-vindas ao Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuar","electron.onboarding.welcome.doubleLimits.description":"Para celebrar o lançamento da app Codex, até 2 de abril dispõe do dobro dos limites de utilização.","electron.onboarding.welcome.freego.description":"O Codex está incluído gratuitamente no seu plano até 2 de março – vamos começar a criar juntos.","electron.onboarding.welcome.new.title.anon":"Damos-lhe as boas-vindas!","electron.onboarding.workspace.continue":"Continuar","electron.onboarding.workspace.empty":"Adicione um projeto para continuar.","electron.onboarding.workspace.listLabel":"Projetos disponíveis","electron.onboarding.workspace.loading":"A carregar projetos…","electron.onboarding.workspace.openFolder":"Adicionar projeto","electron.onboarding.workspace.selectAll":"Selecionar tudo","electron.onboarding.workspace.skip":"Saltar","electron.onboarding.workspace.skip.error":"Não foi possível criar um novo projeto: {message}","electron.onboarding.workspace.skip.error.unknown":"Erro desconhecido","electron.onboarding.workspace.skipping":"A criar um um novo projeto…","electron.onboarding.workspace.subtitle":"O Codex poderá editar ficheiros e executar comandos em pastas selecionadas.","electron.onboarding.workspace.title":"Selecionar um projeto","errorPage.list.checkSettings":"Tente atualizar as suas definições de IDE","errorPage.list.configToml":"Verifique config.toml quanto a definições inválidas","errorPage.list.downloadExtension":"Tente transferir uma versão diferente da extensão","errorPage.list.runInWsl":"Verifique as suas definições para desativar a execução em WSL se estiver a ter problemas de compatibilidade","execApprovalRequest.menu.runAlways":"Sim, e não pedir novamente esta sessão","execApprovalRequest.menu.runAlwaysWithAmendment":"Sim, e não perguntar novamente para comandos que começam com {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Sim, e não perguntar novamente para comandos que começam com","execApprovalRequest.menu.runOnce":"Sim","execApprovalRequest.prompt":"Pretende executar este comando?","execApprovalRequest.reject":"Não","execFooter.exitCode":"Sair do código {code}","execFooter.exitCode.unknown":"desconhecido","execFooter.success":"Sucesso","feedback.dialog.category.badResult":"Mau resultado","feedback.dialog.category.bug":"Erro","feedback.dialog.category.goodResult":"Bom resultado","feedback.dialog.category.other":"Outros","feedback.dialog.descriptionPlaceholder":"Descreva o problema aqui","feedback.dialog.dismiss":"Descartar","feedback.dialog.includeLogsLabel":"Incluir os registos de sessão atuais do Codex","feedback.dialog.submit":"Submeter","feedback.dialog.submitError":"Não foi possível submeter o seu feedback. Tente novamente dentro de momentos.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"problema aberto existente","feedback.dialog.uploadedMessage.openIssue":"abrir um problema no GitHub","feedback.dialog.uploadedMessage.withThread":"Feedback carregado. Se o problema persistir, {openIssueLink} ou mencione a ID do thread em {existingIssueLink}:","feedback.dialog.uploadedTitle":"Feedback carregado","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Retirar {filename}","header.back":"Voltar","header.recentChats":"Tarefas","header.recentTasks.seeAll":"Ver todos ({total})","home.header.getPlus":"Obter Plus","home.hero.letsBuild":"Vamos criar","homePage.mainContent":"Conteúdo principal","imageAttachment.defaultName":"imagem","imageAttachment.preview.close":"Fechar pré-visualização da imagem","imageAttachment.removeAriaLabel":"Retirar {filename}","implementPlanRequest.option.implement":"Sim, implementar este plano","implementPlanRequest.prompt":"Implementar este plano?","inbox.archived.deleteError":"Não foi possível eliminar a execução arquivada","inbox.archived.deleteRun":"Eliminar execução arquivada","inbox.archived.deleteSuccess":"Thread arquivada eliminada. Veja em <settingsLink>Threads arquivadas</settingsLink>.","inbox.archived.inlineLabel.auto":"Esta thread foi arquivada automaticamente. <learnMoreLink>Saber mais</learnMoreLink>","inbox.archived.inlineLabel.manual":"Esta thread foi arquivada.","inbox.archived.noMessageFound":"Nenhuma mensagem encontrada","inbox.automations.createError":"Não foi possível criar automação","inbox.automations.deleteConfirm.cancel":"Cancelar","inbox.automations.deleteConfirm.confirm":"Eliminar automação","inbox.automations.deleteConfirm.description":"Isto irá eliminar permanentemente a automação e parar futuras execuções.","inbox.automations.deleteConfirm.title":"Eliminar {name}?","inbox.automations.deleteError":"Não foi possível eliminar automação","inbox.automations.editTooltip":"Editar automação","inbox.automations.inProgress":"Em curso","inbox.automations.new":"Novo","inbox.automations.newToolbar":"Nova automação","inbox.automations.pauseTooltip":"Pausar automação","inbox.automations.resumeTooltip":"Retomar automação","inbox.automations.startingNow":"A iniciar agora","inbox.automations.startsIn":"Começa em {startTime}","inbox.automations.status.active":"Ativo","inbox.automations.status.paused":"Pausadas","inbox.automations.status.runs":"{count} execuções","inbox.automations.status.started":"Iniciada em {date}","inbox.automations.updateError":"Não foi possível atualizar a automação","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Todos","inbox.filter.ariaLabel":"Filtrar itens da caixa de entrada","inbox.filter.unread":"Não lidas","inbox.list.archived":"Arquivado","inbox.list.inProgress":"Em curso","inbox.list.recent":"Concluídas","inbox.list.upNext":"Agendado","inbox.mode.automations":"Automatizações","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Sem descrição fornecida","inbox.openThread":"Abrir thread","inbox.rightPanel.emptySubtitle":"Automatize o trabalho configurando tarefas agendadas","inbox.rightPanel.emptySubtitle.learnMore":"Automatize o trabalho configurando threads agendadas. <link>Saber mais</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automação ativa} many {# automações ativas} other {# automações ativas}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Sem automações não lidas","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automação não lida} many {# automações não lidas} other {# automações não lidas}}","inbox.rightPanel.emptyTitle":"Nenhum item selecionado","inbox.rightPanel.noThread":"Sem thread para este item","inbox.rightPanel.quickStart.header":"Começar com um modelo","inbox.untitled":"Item na caixa de entrada sem título","loadingPage.documentationLink":"documentação","loadingPage.errorDescription":"O Codex falhou com o seguinte erro:","loadingPage.errorDescription.documentation":"Clique em recarregar para reiniciar a extensão do Codex ou visite a nossa {documentationLink} para obter ajuda.","loadingPage.errorSignal":"Algumas ações a tentar:","loadingPage.errorTitle":"Ocorreu um erro","loadingPage.openConfigToml":"Abrir Config.toml","loadingPage.reload":"Recarregar","localConversation.contextCompacted":"O contexto foi automaticamente compactado","localConversation.contextCompacting":"A compactar automaticamente o contexto","localConversation.forkedFromConversation":"Dividido de {threadTitle}","localConversation.merge.autoResolve.failed":"Falha ao solicitar resolução automática: {error}","localConversation.merge.autoResolve.sent":"Pedido de resolução automática enviado","localConversation.merge.autoResolveMerge.missingConversation":"Não é possível resolver automaticamente sem uma conversa ativa.","localConversation.merge.autoResolveMerge.request":"Resolver automaticamente os conflitos de combinação","localConversation.modelChanged":"Modelo mudado de {fromModel} para {toModel}.","localConversation.modelChanged.warning.line1":"Mudar de modelo a meio da conversa irá degradar o desempenho.","localConversation.modelChanged.warning.line2":"O contexto poderá ser automaticamente compactado.","localConversation.moveThread.createBranch.label":"Criar ramificação","localConversation.moveToLocal.disabled.loading":"A carregar...","localConversation.moveToLocal.modal.continue":"Continuar","localConversation.moveToLocal.modal.destinationLabel":"Mover para","localConversation.moveToLocal.modal.retry":"Tentar novamente","localConversation.moveToWorktree.modal.back":"Voltar","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"A ramificação já existe.","localConversation.moveToWorktree.modal.branchesError":"Não foi possível carregar ramificações","localConversation.moveToWorktree.modal.branchesLoading":"A carregar ramificações…","localConversation.moveToWorktree.modal.branchesRetry":"Tentar novamente","localConversation.moveToWorktree.modal.continue":"Continuar","localConversation.moveToWorktree.modal.retry":"Tentar novamente","localConversation.moveToWorktree.modal.trailingSlashError":"O nome da ramificação não pode terminar com “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nova-ramificação","localConversation.personalityChanged":"Mudou para a personalidade {personality}","localConversation.planSummary.collapse":"Reduzir o resumo do plano","localConversation.planSummary.collapseTooltip":"Reduzir","localConversation.planSummary.download":"Transferir plano","localConversation.planSummary.expand":"Expandir o resumo do plano","localConversation.planSummary.expandTooltip":"Expandir","localConversation.planSummary.openInNewWindow":"Aberto","localConversation.planSummary.openInNewWindow.tooltip":"Abrir em nova janela","localConversation.planSummary.title":"Plano","localConversation.planSummary.titleWriting":"Plano de escrita","localConversation.planSummary.viewPlan":"Expandir plano","localConversation.remoteTaskCreated":"Criou {taskLink} no Codex Cloud","localConversation.remoteTaskCreated.task":"tarefa","localConversation.scrollToBottomButton":"Deslocar para o fundo","localConversation.sync.buttonLabel":"Transferir para local","localConversation.sync.buttonLabel.tooltip":"Transfira as alterações entre esta worktree e o checkout local.","localConversation.sync.modal.loading.title":"A transferir alterações…","localConversation.sync.modal.noChanges":"Sem alterações","localConversation.syncSetup.branchAriaLabel":"Nome da ramificação","localConversation.syncSetup.branchName":"Nome da ramificação","localConversation.syncSetup.branchPlaceholder.existing":"Selecionar ramificação existente","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"A carregar ramificações…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Já verificada","localConversation.syncSetup.checkoutClean":"Atualmente em {branchName}","localConversation.syncSetup.checkoutDirty":"Atualmente em {branchName} com alterações não submetidas","localConversation.syncSetup.checkoutError":"Falha ao verificar a ramificação: {message}","localConversation.syncSetup.checkoutLabel":"Verificar localmente agora","localConversation.syncSetup.checkoutOnLocal":"Transferir para local","localConversation.syncSetup.checkoutPending":"A verificar o estado local…","localConversation.syncSetup.checkoutUnavailable":"Área de trabalho local não disponível","localConversation.syncSetup.checkoutUnknown":"Ramificação local não disponível","localConversation.syncSetup.continue":"Continuar","localConversation.syncSetup.createBranchError":"Falha ao definir a ramificação de transferência: {message}","localConversation.syncSetup.error":"Algo correu mal: {message}","localConversation.syncSetup.error.workingTreeMissing":"Não foi possível criar uma captura da worktree. Tente novamente a transferência.","localConversation.syncSetup.mode.ariaLabel":"Selecionar modo de ramificação","localConversation.syncSetup.mode.existing":"Ramificação existente","localConversation.syncSetup.mode.new":"Nova ramificação","localConversation.syncSetup.noBranches":"Nenhuma ramificação encontrada","localConversation.syncSetup.overwriteError":"A ramificação foi criada, mas não foi totalmente transferida. Transfira manualmente antes de selecionar localmente.","localConversation.syncSetup.setPrefix":"Definir prefixo","localConversation.syncSetup.subtitle":"Testar e editar alterações desta worktree localmente. <a>Saber mais</a>","localConversation.syncSetup.success.checkedOut":"A ramificação foi criada e selecionada localmente","localConversation.syncSetup.success.notCheckedOut":"Ramificação criada","localConversation.syncSetup.title":"Transferir para uma ramificação local","localConversation.syncWorktreeError.branchAriaLabel":"Nome da ramificação","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Escolha uma ramificação para transferir e volte a tentar carregar as alterações.","localConversation.syncWorktreeError.branchSetup.title":"Atualizar ramificação","localConversation.syncWorktreeError.branchUpdate.cta":"Atualizar e tentar novamente","localConversation.syncWorktreeError.branchUpdate.error":"Falha ao atualizar a ramificação: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Algo correu mal: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"A ramificação não foi verificada em qualquer worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Aplicar","localConversation.syncWorktreeV2.applyUncommitted.disabled":"É necessário verificar a ramificação localmente para aplicar alterações não submetidas","localConversation.syncWorktreeV2.branches.empty":"Nenhuma ramificação encontrada","localConversation.syncWorktreeV2.branches.loading":"A carregar ramificações…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Alterar ramificação de transferência","localConversation.syncWorktreeV2.changeBranch.error":"Falha ao alterar a ramificação de transferência: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Falha ao aplicar","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Falha ao substituir a worktree","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Falha ao substituir localmente","localConversation.syncWorktreeV2.commandError.back":"Voltar","localConversation.syncWorktreeV2.commandError.body":"Um comando git falhou durante a transferência. Reveja o resultado e tente novamente.","localConversation.syncWorktreeV2.commandError.retry":"Tentar novamente","localConversation.syncWorktreeV2.description":"Transferir alterações entre o ambiente local e esta worktree. <a>Saber mais</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"Selecionar direção da transferência","localConversation.syncWorktreeV2.error.generic":"Algo correu mal ao transferir. Tente novamente.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"A calcular alterações","localConversation.syncWorktreeV2.noChanges.summary":"Sem alterações","localConversation.syncWorktreeV2.overwrite.local":"Substituir localmente","localConversation.syncWorktreeV2.overwrite.worktree":"Substituir worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Não foi possível aplicar alterações","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Não foi possível substituir alterações locais","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Não foi possível substituir alterações da worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Aplicado","localConversation.syncWorktreeV2.partial.back":"Voltar","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resolva os conflitos e tente novamente.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflitos","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}}","localConversation.syncWorktreeV2.partial.retry":"Tentar novamente","localConversation.syncWorktreeV2.partial.skippedLabel":"Avançado","localConversation.syncWorktreeV2.stateFailed.generic":"Ocorreu um erro ao obter as alterações da worktree para transferência. Tente novamente.","localConversation.syncWorktreeV2.stateFailed.title":"Falha ao carregar alterações da worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Falha ao carregar alterações da worktree.","localConversation.syncWorktreeV2.statusError.retry":"Tentar novamente","localConversation.syncWorktreeV2.statusError.title":"Não foi possível carregar as alterações da ramificação local","localConversation.syncWorktreeV2.statusError.unknown":"O estado da ramificação não está disponível. Tente novamente.","localConversation.syncWorktreeV2.success.apply":"Alterações aplicadas com sucesso","localConversation.syncWorktreeV2.success.overwrite":"Transferência bem sucedida","localConversation.syncWorktreeV2.title":"Transferir alterações","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"A perguntar {count, plural, one {questão} many {questões} other {questões}}","localConversation.userInputRequest.noAnswer":"Sem resposta fornecida","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Perguntado","localConversation.userInputRequest.summary.count":"{count, plural, one {# questão} many {# questões} other {# questões}}","localConversation.workedFor":"Trabalhei durante {time}","localConversation.worktreeBranchSetup.action.create":"Criar","localConversation.worktreeBranchSetup.branchAriaLabel":"Nome da ramificação","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Crie uma nova ramificação","localConversation.worktreeBranchSetup.checkoutDisabled":"Esta ramificação já se encontra selecionada em {location}","localConversation.worktreeBranchSetup.checkoutError":"Falha ao verificar a ramificação: {message}","localConversation.worktreeBranchSetup.createBranchError":"Falha ao definir ramificação: {message}","localConversation.worktreeBranchSetup.error":"Algo correu mal: {message}","localConversation.worktreeBranchSetup.subtitle":"Crie uma ramificação para fazer commit das alterações, push e criar um PR a partir desta worktree. <a>Saiba mais</a>","localConversation.worktreeBranchSetup.title":"Trabalhe aqui","localConversationPage.addWorktreeToSidebar.tooltip":"Guardar como projeto para poder iniciar novas threads a partir desta worktree","localConversationPage.addWorktreeToSidebarError":"Falha ao adicionar projeto","localConversationPage.commitAndCreatePrModal.errorTitle":"Falha ao fazer commit e criar PR","localConversationPage.commitAndCreatePrModal.successTitle":"Commit feito e PR criado","localConversationPage.commitAndPushModal.errorTitle":"Falha ao fazer commit e push","localConversationPage.commitAndPushModal.successTitle":"Alterações sujeitas a commit e push","localConversationPage.commitCreatePr.open":"Abrir pedido pull","localConversationPage.commitCreatePr.successTitle":"PR criado com as suas alterações mais recentes","localConversationPage.createBranchButtonLabel":"Ramificação aqui","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Criar PR","localConversationPage.createPrModal.createDescription":"Abra um pedido pull para as suas alterações mais recentes.","localConversationPage.createPrModal.errorTitle":"O pedido pull falhou","localConversationPage.createPrModal.headBranch":"Cabeça","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Abrir PR","localConversationPage.createPrModal.successTitle":"Pedido pull criado","localConversationPage.createPrModal.title":"Criar pedido pull","localConversationPage.createPrModal.viewDescription":"Já existe um pedido pull para esta ramificação.","localConversationPage.createPrModal.viewTitle":"Pedido pull pronto","localConversationPage.createPullRequestAuthGh":"Autenticar CLI do GitHub: run `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informação da ramificação indisponível","localConversationPage.createPullRequestButtonLabel":"Criar PR","localConversationPage.createPullRequestButtonLabel.loading":"A criar PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Informação da ramificação predefinida indisponível","localConversationPage.createPullRequestError":"Falha ao criar pedido pull","localConversationPage.createPullRequestExistingPullRequest":"Já existe um pedido pull para esta ramificação","localConversationPage.createPullRequestGhStatusMissing":"A carregar estado do CLI do GitHub…","localConversationPage.createPullRequestInstallGh":"Instalar o CLI do GitHub (gh) para criar PRs","localConversationPage.createPullRequestNoRepo":"Não foi encontrado um repositório Git","localConversationPage.createPullRequestPushStatusMissing":"A carregar estado push…","localConversationPage.createPullRequestSetUpstream":"Faça push desta ramificação antes de criar um PR","localConversationPage.createPullRequestSuccessToast":"Pedido pull criado","localConversationPage.createPullRequestSwitchBranch":"Termine uma ramificação antes de criar um PR","localConversationPage.error.render":"Erro na renderização da conversa local","localConversationPage.error.toast":"Conversa não encontrada","localConversationPage.forcePushError":"Falha ao forçar push","localConversationPage.generatePullRequestMessageError":"Falha ao criar título e corpo de pedido pull","localConversationPage.generatePullRequestMessageFailed":"Falha ao criar título e corpo de pedido pull.","localConversationPage.gitActionResult.branch":"Ramificação","localConversationPage.gitActionResult.cancel":"Cancelar","localConversationPage.gitActionResult.close":"Fechar","localConversationPage.gitActionResult.tryAgain":"Tentar novamente","localConversationPage.gitActions":"Ações Git","localConversationPage.newChat":"Novo chat","localConversationPage.openInTarget":"Abrir em","localConversationPage.openPrimaryTarget":"Aberto","localConversationPage.planItemsCompleted":"{completedItems} de {totalItems, plural, one {# tarefa concluída} many {# tarefas concluídas} other {# tarefas concluídas}}","localConversationPage.pushAuthError":"Push falhou: autenticação necessária","localConversationPage.pushBranchMissing":"Informação da ramificação indisponível","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"A efetuar push…","localConversationPage.pushError":"Falha ao fazer push das alterações","localConversationPage.pushModal.branchLabel":"Ramificação","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Cancelar","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Faça push dos seus commits mais recentes para o repositório remoto.","localConversationPage.pushModal.errorTitle":"Push falhou","localConversationPage.pushModal.forcePush":"Forçar push","localConversationPage.pushModal.successTitle":"Push concluído","localConversationPage.pushModal.title":"Fazer push das alterações","localConversationPage.pushModal.tryAgain":"Tentar novamente","localConversationPage.pushNoUpstream":"Defina um upstream antes de fazer push desta ramificação","localConversationPage.pushNoUpstreamError":"Push falhou: nenhum upstream configurado","localConversationPage.pushNothingToPush":"Não existem novos commits para fazer push","localConversationPage.pushRemoteChangedError":"Push falhou: remoto tem novos commits","localConversationPage.pushRemoteRejectedError":"Push rejeitado por remoto","localConversationPage.pushStatusMissing":"A carregar estado push…","localConversationPage.pushSuccessToast":"Alterações sujeitas a push","localConversationPage.viewPullRequestButtonLabel":"Ver PR","localConversationPage.viewPullRequestButtonLabel.loading":"A carregar pedido pull…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} many {# listas} other {# listas}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# pesquisa} many {# pesquisas} other {# pesquisas}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Explorar","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Explorou","localConversationTurn.exploration.accordion.header.complete.withCounts":"Explorou {counts}","localConversationTurnStory.showContent":"Mostrar conteúdo","localConversationTurnStory.streamContent":"Transmitir conteúdo","localConversationTurnStory.toggleReasoning":"Mostrar raciocínio","localTaskRow.archiveError":"Falha ao arquivar conversa","localTaskRow.resumeError":"Falha ao retomar tarefa","mermaidDiagram.ariaLabel":"Diagrama Mermaid","mermaidDiagram.copySource":"Copiar mermaid","mermaidDiagram.originalCode":"Código-fonte Mermaid","notifications.permissions.description":"Mostrar alertas quando são necessárias permissões de notificação","notifications.permissions.label":"Ativar notificações de permissão","notifications.turnMode.always":"Sempre","notifications.turnMode.description":"Definir quando o Codex avisa de que terminou","notifications.turnMode.label":"Notificações de conclusão de execução","notifications.turnMode.off":"Nunca","notifications.turnMode.unfocused":"Apenas quando não focado","patchApprovalRequest.approve":"Aprovar","patchApprovalRequest.menu.allowAlways":"Sim, e não pedir novamente esta sessão","patchApprovalRequest.menu.allowForSession":"Sim, e não pedir novamente esta sessão","patchApprovalRequest.menu.allowOnce":"Sim","patchApprovalRequest.prompt":"Pretende efetuar estas alterações?","patchApprovalRequest.reject":"Não","patchApprovalRequest.waitingForApproval":"A aguardar aprovação para editar ficheiros","pendingRequest.approvalExec.collapse":"Reduzir","pendingRequest.approvalExec.expand":"Expandir","pendingRequestStory.toastAnswer":"Responder: {answer}","pendingRequestStory.toastApprovalTitle":"Resposta de aprovação","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Seguimento enviado","pendingRequestStory.toastNoAnswers":"Sem respostas fornecidas","pendingRequestStory.toastQuestion":"Questão: {question}","pendingRequestStory.toastUnknownDecision":"Desconhecido","pendingRequestStory.toastUserInputTitle":"Respostas submetidas","quickAction.request.codeReview.branches.new":"Revê as alterações em {from} relativamente a {to}","quickAction.request.codeReview.uncommitted.new":"Revê as minhas alterações não submetidas","reasoningItem.thinking":"A pensar","reasoningItem.thought":"Pensei","reasoningItem.thoughtWithElapsed":"Pensado para {elapsed}","recentConversations.title":"Conversas recentes","recentTasks.worktreeInitFailedTitle":"O início da worktree falhou","recentTasks.worktreeSettingUpTitle":"A configurar worktree","requestInputPanel.continue":"Continuar","requestInputPanel.dismiss":"Descartar","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Digite aqui","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Não, e diga ao Codex o que fazer de forma diferente","requestInputPanel.selectedBadge":"Selecionado","requestInputPanel.skip":"Saltar","requestInputPanel.submit":"Submeter","review.commit.ariaLabel.includeUnstaged":"Incluir não testadas","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"A fazer commit...","review.commit.disabled.loadingDiff":"A carregar diferenças…","review.commit.disabled.missingContext":"Adicione contexto para gerar uma mensagem do commit","review.commit.disabled.noChanges":"Sem alterações para fazer commit","review.commit.disabled.noSelection":"Selecionar alterações para fazer commit","review.commit.disabled.unavailable":"Commit indisponível neste momento","review.commit.error":"Falha ao submeter alterações","review.commit.form.changesToBeCommitted":"Alterações","review.commit.form.commitTo":"Ramificação","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuar","review.commit.form.title":"Faça commit das suas alterações","review.commit.generate.emptyResponse":"Não foi possível gerar uma mensagem do commit.","review.commit.generate.failed":"Falha ao gerar mensagem do commit: {error}","review.commit.generate.missingPrompt":"Adicione contexto para gerar uma mensagem do commit.","review.commit.includeUnstaged":"Incluir não testadas","review.commit.loading.description":"Aguarde, isto pode demorar alguns momentos…","review.commit.loading.step.commit.done":"Alterações submetidas","review.commit.loading.step.commit.pending":"A aplicar alterações","review.commit.loading.step.createPr.done":"Pedido pull criado","review.commit.loading.step.createPr.pending":"A criar pedido pull","review.commit.loading.step.push.done":"Push efetuado para ramificação {branch}","review.commit.loading.step.push.pending":"A efetuar push para ramificação {branch}","review.commit.loading.title.commit":"A aplicar alterações","review.commit.loading.title.createPr":"A criar PR","review.commit.loading.title.push":"A efetuar push de alterações","review.commit.messageLabel":"Mensagem do commit","review.commit.messagePlaceholder":"Deixe em branco para gerar automaticamente uma mensagem de commit","review.commit.nextSteps":"Próximos passos","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Fazer commit e criar PR","review.commit.nextSteps.commitAndPush":"Fazer commit e push","review.commit.nextSteps.prRequiresGh":"Requer CLI do GitHub: {command}","review.commit.rows.changes":"Alterações","review.commit.rows.commitCount":"{count, plural, one {# commit} many {# commits} other {# commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} many {# commits} other {# commits}} e {stats}","review.commit.rows.fileCount":"{count, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}}","review.commit.state.error.body":"Algo correu mal ao fazer commit. Verifique o seu estado git e tente novamente.","review.commit.state.error.title":"Falha ao fazer commit","review.commit.state.success.title":"Alterações submetidas","review.commit.untracked.loadingStats":"A carregar estatísticas de diferenças não rastreadas…","reviewFindingAttachments.count":"{count, plural, one {# resultado} many {# resultados} other {# resultados}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Edite a sua configuração para personalizar o comportamento do agente","settings.agent.configuration.configToml.docs":"Documentos","settings.agent.configuration.configToml.restartNote":"Para aplicar as alterações, reiniciar o Codex após editar","settings.agent.configuration.subtitle":"Estas definições aplicam-se em qualquer lugar onde o Codex é usado","settings.automations.banner.danger":"As automações são executadas com as definições de sandbox predefinidas, atualmente definidas como Acesso total. Executar automações em segundo plano com Acesso total implica um risco acrescido, uma vez que o Codex pode modificar ficheiros, executar comandos e aceder à rede sem pedir confirmação. Considere atualizar as definições da sandbox para escrita na área de trabalho e utilizar <rulesDocsLink>regras</rulesDocsLink> para definir seletivamente que comandos o agente pode executar com acesso total.","settings.automations.banner.defaultHowTo.default":"As automações são executadas com as definições de sandbox predefinidas. As chamadas a ferramentas falharão se exigirem modificar ficheiros fora da área de trabalho, aceder à rede ou trabalhar com apps no seu computador. Pode permitir seletivamente comandos fora da sandbox através de <rulesDocsLink>regras</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"As automações são executadas com as definições de sandbox predefinidas, definidas como só de leitura. As chamadas a ferramentas falharão se exigirem modificar ficheiros, aceder à rede ou trabalhar com apps no seu computador. Considere atualizar as definições da sandbox para escrita na área de trabalho.","settings.automations.cancel":"Cancelar","settings.automations.create":"Criar","settings.automations.cwdEmpty":"Nenhuma pasta de projeto disponível","settings.automations.cwdLabel":"Projetos","settings.automations.cwdPlaceholder":"Escolher uma pasta","settings.automations.cwdSubtitle":"Se quiser que uma automação seja executada numa ramificação específica, pode indicá-la no seu prompt.","settings.automations.delete":"Eliminar","settings.automations.dialog.editTitle":"Editar automação","settings.automations.dialog.newTitle":"Nova automação","settings.automations.dialog.subtitle":"Automatize tarefas recorrentes em segundo plano. O Codex adiciona resultados à caixa de entrada ou arquiva automaticamente a tarefa se não houver nada a reportar. <learnMoreLink>Saber mais</learnMoreLink>","settings.automations.dialog.title":"Criar automação","settings.automations.executionCopy.git":"As automações são executadas em segundo plano em worktrees dedicadas.","settings.automations.executionCopy.nonGit":"As automações em projetos sem controlo de versões são executadas diretamente no diretório do projeto. Considere utilizar Git para permitir a execução em worktrees de segundo plano.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"A carregar…","settings.automations.nameLabel":"Nome","settings.automations.namePlaceholder":"Verificar problemas de Sentry","settings.automations.pause":"Pausar","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"procurar falhas em $Sentry","settings.automations.resume":"Retomar","settings.automations.rruleSummaryFallback":"Agendamento personalizado","settings.automations.runNow":"Testar","settings.automations.save":"Guardar","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"Dias da semana","settings.automations.scheduleBadge.weekends":"Fins de semana","settings.automations.scheduleHeader":"Agenda","settings.automations.scheduleHours":"horas","settings.automations.scheduleLabel":"Executar a cada","settings.automations.scheduleMode.daily":"Diariamente","settings.automations.scheduleMode.interval":"Intervalo","settings.automations.scheduleModeLabel":"Tipo de agendamento","settings.automations.scheduleSummary.daily":"Diariamente às {time}","settings.automations.scheduleSummary.interval":"A cada {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dia} many {# dias} other {# dias}}","settings.automations.scheduleSummary.intervalDays":"{interval} a {days}","settings.automations.scheduleSummary.intervalHourly":"De hora a hora","settings.automations.scheduleSummary.singleDay":"{day} às {time}","settings.automations.scheduleSummary.weekdays":"Dias da semana às {time}","settings.automations.scheduleSummary.weekdaysLabel":"dias da semana","settings.automations.scheduleSummary.weekends":"Fins de semana às {time}","settings.automations.scheduleSummary.weekendsLabel":"fins de semana","settings.automations.scheduleSummary.weekly":"{days} às {time}","settings.automations.scheduleWeekdays":"Ligar","settings.automations.weekdayState.excluded":"Excluído","settings.automations.weekdayState.included":"Incluído","settings.conversationDetail.steps":"Passos","settings.conversationDetail.steps.description":"Ocultar comandos e resultados","settings.conversationDetail.stepsWithCommands":"Passos com comandos de código","settings.conversationDetail.stepsWithCommands.description":"Mostrar comandos, reduzir resultado","settings.conversationDetail.stepsWithOutput":"Passos com resultado de código","settings.conversationDetail.stepsWithOutput.description":"Mostrar comandos e expandir resultado","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Sem chats arquivados.","settings.dataControls.archivedChats.error":"Não foi possível carregar os chats arquivados.","settings.dataControls.archivedChats.loading":"A carregar chats arquivados…","settings.dataControls.archivedChats.unarchive":"Desarquivar","settings.dataControls.archivedChats.unarchiveError":"Falha ao desarquivar chat","settings.dataControls.archivedChats.unarchiveSuccess":"Thread desarquivada. <viewNowLink>Ver agora</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Thread desarquivada.","settings.dataControls.archivedChats.untitled":"Chat sem título","settings.dataControls.archivedChats.viewNow":"Ver agora","settings.editRow.headerPlaceholder":"Chave","settings.editRow.removeEntry":"Retirar entrada","settings.editRow.valuePlaceholder":"Valor","settings.general.appearance":"Aspeto","settings.general.appearance.codeFont":"Letra do código","settings.general.appearance.codeFont.description":"Ajuste o tipo e o tamanho de letra de código usado nos chats e diferenças","settings.general.appearance.codeFontFamily":"Família do tipo de letra do código","settings.general.appearance.codeFontSize":"Tamanho de letra do código","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Fazer com que as janelas utilizem um fundo sólido em vez da translucidez do sistema","settings.general.appearance.opaqueWindows.label":"Utilizar fundo de janela opaco","settings.general.appearance.sansFontFamily":"Família do tipo de letra Sans","settings.general.appearance.sansFontFamily.description":"Ajustar o tipo de letra usado para a IU Codex","settings.general.appearance.sansFontSize":"Tamanho de letra Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Mostrar efeitos de celebração em janela completa enquanto o GPT-5.3-Codex-Spark é executado pela primeira vez","settings.general.appearance.sparkCelebrationEffects.label":"Efeitos de celebração com faíscas","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Escuro","settings.general.appearance.theme.description":"Use claro, escuro ou adaptado ao seu sistema","settings.general.appearance.theme.light":"Claro","settings.general.appearance.theme.system":"Sistema","settings.general.appearance.usePointerCursors.description":"Altere o cursor para um ponteiro ao passar sobre elementos interativos","settings.general.appearance.usePointerCursors.label":"Utilizar cursores de ponteiro","settings.general.enterBehavior.description":"Quando ativados, os prompts com várias linhas requerem {modifierSymbol} + enter para enviar.","settings.general.enterBehavior.label":"Requerer {modifierSymbol} + enter para enviar prompts longos","settings.general.experimentalFeatures":"Funcionalidades experimentais (beta)","settings.general.experimentalFeatures.empty":"Nenhuma funcionalidade experimental beta disponível.","settings.general.experimentalFeatures.loading":"A carregar funcionalidades experimentais…","settings.general.experimentalFeatures.restartNote":"Reinicie o Codex para aplicar as alterações à funcionalidade experimental","settings.general.experimentalFeatures.toggle":"Alternar {featureName}","settings.general.followUpQueueMode.description":"Colocar perguntas de seguimento enquanto o Codex executa ou orienta a execução. Prima {invertFollowUpShortcutLabel} para fazer o oposto numa mensagem.","settings.general.followUpQueueMode.interrupt":"Orientar","settings.general.followUpQueueMode.label":"Comportamento de seguimento","settings.general.followUpQueueMode.queue":"Fila","settings.general.notifications":"Notificações","settings.general.power.preventSleepWhileRunning.description":"Mantenha o computador ativo enquanto o Codex está a executar um thread.","settings.general.power.preventSleepWhileRunning.label":"Impedir a suspensão durante a execução","settings.git.branchPrefix.ariaLabel":"Prefixo da ramificação","settings.git.branchPrefix.description":"Prefixo utilizado ao criar novas ramificações no Codex","settings.git.branchPrefix.label":"Prefixo da ramificação","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Falha ao guardar prefixo da ramificação","settings.git.branchPrefix.save.success":"Prefixo da ramificação guardado","settings.git.commitInstructions.ariaLabel":"Instruções do commit","settings.git.commitInstructions.description":"Adicionado aos prompts de geração de mensagem do commit","settings.git.commitInstructions.label":"Instruções do commit","settings.git.commitInstructions.placeholder":"Adicionar orientação para mensagem do commit…","settings.git.commitInstructions.save":"Guardar","settings.git.commitInstructions.save.error":"Falha ao guardar instruções do commit","settings.git.commitInstructions.save.success":"Instruções do commit guardadas","settings.git.forcePush.ariaLabel":"Forçar sempre push","settings.git.forcePush.description":"Usar --force-with-lease ao fazer push a partir do Codex","settings.git.forcePush.label":"Forçar sempre push","settings.git.forcePush.save.disabled":"Forçar sempre push desativado","settings.git.forcePush.save.enabled":"Forçar sempre push ativado","settings.git.forcePush.save.error":"Falha ao guardar definição para forçar push","settings.git.prInstructions.ariaLabel":"Instruções do pedido pull","settings.git.prInstructions.description":"Adicionado aos corpos do pedido pull criados pelo Codex","settings.git.prInstructions.label":"Instruções do pedido pull","settings.git.prInstructions.placeholder":"Adicionar orientação para pedido pull…","settings.git.prInstructions.save":"Guardar","settings.git.prInstructions.save.error":"Falha ao guardar instruções do pedido pull","settings.git.prInstructions.save.success":"Instruções do pedido pull guardadas","settings.ide.defaultOpenTarget.description":"Onde os ficheiros e as pastas abrem por predefinição","settings.ide.defaultOpenTarget.label":"Destino de abertura predefinido","settings.ide.defaultOpenTarget.placeholder":"Sem destinatários encontrados","settings.ide.language.auto":"Detetar automaticamente","settings.ide.language.autoOption":"Detetar automaticamente","settings.ide.language.description":"Idioma para a IU da app","settings.ide.language.label":"Idioma","settings.ide.language.search":"Pesquisar idiomas","settings.layout.actionButton":"Reiniciar extensão","settings.layout.actionTitle":"Definições com ação","settings.layout.fullWidthTitle":"Definições (extensão completa)","settings.layout.title":"Definições","settings.localEnvironments.actions.add":"Adicionar ação","settings.localEnvironments.actions.add.description":"Crie um novo comando para executar a partir da barra de ferramentas.","settings.localEnvironments.actions.add.save":"Guardar","settings.localEnvironments.actions.empty":"Adicionar uma ação para executar comandos da barra de ferramentas local.","settings.localEnvironments.actions.icon.debug":"Depurar","settings.localEnvironments.actions.icon.run":"Executar","settings.localEnvironments.actions.icon.test":"Testar","settings.localEnvironments.actions.icon.tool":"Ferramenta","settings.localEnvironments.actions.item.button.delete":"Eliminar","settings.localEnvironments.actions.item.command":"Script de ação","settings.localEnvironments.actions.item.name":"Nome","settings.localEnvironments.actions.item.platforms":"Plataformas","settings.localEnvironments.actions.item.platforms.help":"Executar apenas num sistema operativo específico.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Seleção da plataforma","settings.localEnvironments.actions.item.platforms.specific":"Específico da plataforma","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Eliminar","settings.localEnvironments.actions.title":"Ações","settings.localEnvironments.breadcrumb.back":"Voltar","settings.localEnvironments.breadcrumb.edit":"editar","settings.localEnvironments.breadcrumb.root":"Ambientes","settings.localEnvironments.environment.actions.description":"Estas ações podem executar qualquer comando e serão apresentadas no cabeçalho.","settings.localEnvironments.environment.actionsLabel":"Ações","settings.localEnvironments.environment.create":"Criar ambiente local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Editar ambiente local","settings.localEnvironments.environment.empty":"Nenhum ambiente local está ainda configurado para este projeto.","settings.localEnvironments.environment.name":"Nome","settings.localEnvironments.environment.setup":"Script de configuração","settings.localEnvironments.environment.setup.description":"Este script será executado na criação da worktree.","settings.localEnvironments.environment.setup.hint":"Executa na raiz do projeto.","settings.localEnvironments.environment.setup.platformOverrides":"Substituições da plataforma","settings.localEnvironments.environment.setup.platformOverrides.add":"Adicionar {platform} script de configuração","settings.localEnvironments.environment.setup.platformOverrides.description":"Substitui o script predefinido para sistemas operativos específicos.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Retirar","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Detalhes do ambiente","settings.localEnvironments.file.missing":"Guardar para criar este ficheiro pela primeira vez.","settings.localEnvironments.file.parseError":"Não é possível analisar o ficheiro existente. Se guardar, irá substituí-lo. ({error})","settings.localEnvironments.file.path":"Ficheiro: {path}","settings.localEnvironments.file.readError":"Falha ao carregar dados do ambiente local. ({error})","settings.localEnvironments.file.title":"Ficheiro de ambiente local","settings.localEnvironments.loading.body":"A obter a configuração do projeto.","settings.localEnvironments.loading.title":"A carregar ambientes locais","settings.localEnvironments.preview.devOnly":"(apenas DEV)","settings.localEnvironments.preview.save":"Guardar","settings.localEnvironments.preview.saveError":"Falha ao guardar o ficheiro. ({error})","settings.localEnvironments.preview.title":"Pré-visualização","settings.localEnvironments.save.disabled.name":"Adicione um nome de ambiente para guardar.","settings.localEnvironments.save.disabled.noChanges":"Sem alterações para guardar.","settings.localEnvironments.save.disabled.saving":"A guardar…","settings.localEnvironments.save.success":"Ambiente local guardado","settings.localEnvironments.unavailable.body":"Não foi possível carregar as definições do ambiente local para este projeto.","settings.localEnvironments.unavailable.title":"Ambientes locais indisponíveis","settings.localEnvironments.workspace.add":"Adicionar projeto","settings.localEnvironments.workspace.title":"Projeto","settings.localEnvironments.workspaceSelect.addLabel":"Adicionar ambiente","settings.localEnvironments.workspaceSelect.description":"Os ambientes locais dizem ao Codex como configurar worktrees para um projeto. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ainda sem projetos. Adicione um para configurar os ambientes locais.","settings.localEnvironments.workspaceSelect.errorLabel":"O ambiente precisa de atenção","settings.localEnvironments.workspaceSelect.learnMore":"Saber mais","settings.localEnvironments.workspaceSelect.listLabel":"Projetos disponíveis","settings.localEnvironments.workspaceSelect.loading":"A carregar projetos.","settings.localEnvironments.workspaceSelect.loadingLabel":"A carregar ambiente","settings.localEnvironments.workspaceSelect.title":"Selecionar um projeto","settings.localEnvironments.workspaceSelect.viewAction":"Ver","settings.mcp.addServer":"Adicionar servidor","settings.mcp.app.configure":"Configurar","settings.mcp.app.connect":"Ligar","settings.mcp.apps.refresh":"Atualizar","settings.mcp.detail.addArgument":"Adicionar argumento","settings.mcp.detail.addEnvVar":"Adicionar variável do ambiente","settings.mcp.detail.addEnvVarPassthrough":"Adicionar variável","settings.mcp.detail.args":"Argumentos","settings.mcp.detail.back":"Voltar","settings.mcp.detail.command":"Comando para iniciar","settings.mcp.detail.cwd":"Diretório de trabalho","settings.mcp.detail.docs":"Abrir documentação MCP","settings.mcp.detail.docs.link":"Documentos","settings.mcp.detail.envVarPassthrough":"Passagem variável do ambiente","settings.mcp.detail.envVars":"Variáveis do ambiente","settings.mcp.detail.http.addEnvHeader":"Adicionar variável","settings.mcp.detail.http.addHeader":"Adicionar cabeçalho","settings.mcp.detail.http.bearerToken":"Variável do ambiente de token de portador","settings.mcp.detail.http.envHeaders":"Cabeçalhos de variáveis do ambiente","settings.mcp.detail.http.headers":"Cabeçalhos","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nome","settings.mcp.detail.save":"Guardar","settings.mcp.detail.switchTransportNotice":"Se pretender mudar de tipo de servidor MCP, desinstale primeiro.","settings.mcp.detail.titleExisting":"Atualizar MCP {name}","settings.mcp.detail.titleNew":"Ligar a um MCP personalizado","settings.mcp.detail.transport.http":"HTTP com stream possível","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Desinstalar","settings.mcp.empty":"Nenhum servidor MCP personalizado ligado","settings.mcp.myServers":"Servidores personalizados","settings.mcp.partnerServer.description.figma":"Gere código melhor trazendo o contexto Figma completo","settings.mcp.partnerServer.description.github":"Integre com API GitHub para automatizar fluxos de trabalho e extrair dados","settings.mcp.partnerServer.description.linear":"Integre com rastreamento de problemas e gestão de projetos Linear","settings.mcp.partnerServer.description.notion":"Leia documentos, atualize páginas, faça a gestão de tarefas","settings.mcp.partnerServer.description.playwright":"Integre a automação do navegador para implementar o design e testar a IU.","settings.mcp.partnerServer.install":"Instalar","settings.mcp.partnerServer.installAndAuthenticate":"Instalar e autenticar","settings.mcp.partnerServer.logoAlt":"Logótipo {label}","settings.mcp.partnerServer.manage":"Gerir","settings.mcp.partnerServer.vendor":"por {vendor}","settings.mcp.recommendedServers":"Servidores recomendados","settings.mcp.restartApp":"Reiniciar","settings.mcp.restartExtension":"Reiniciar extensão","settings.mcp.server.enable":"Ativar","settings.mcp.server.login":"Autenticar","settings.mcp.server.settings":"Definições","settings.multiselect.createOption":'Criar "{value}"',"settings.multiselect.removeOption":"Retirar","settings.nav.account":"Conta","settings.nav.agent":"Configuração","settings.nav.ariaLabel":"Definições","settings.nav.back":"Voltar à app","settings.nav.data-controls":"Threads arquivadas","settings.nav.environments":"Ambientes da nuvem","settings.nav.externalTooltip":"[alpha] Abre no navegador","settings.nav.general-settings":"Geral","settings.nav.git-settings":"Git","settings.nav.local-environments":"Ambientes","settings.nav.mcp-settings":"Servidores MCP","settings.nav.notImplemented":"[alpha] Indisponível no Alpha","settings.nav.personalization":"Personalização","settings.nav.skills-settings":"Capacidades","settings.nav.usage-analytics":"Utilização e analítica","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Voltar","settings.openSourceLicenses.loading":"A carregar…","settings.openSourceLicenses.missing":"Não foram encontrados avisos de terceiros.","settings.openSourceLicenses.notSupported":"Não disponível neste anfitrião.","settings.openSourceLicenses.rowDescription":"Avisos de terceiros para dependências em pacote","settings.openSourceLicenses.rowLabel":"Licenças de código aberto","settings.openSourceLicenses.subtitle":"Avisos de terceiros para dependências incluídas nesta app","settings.openSourceLicenses.title":"Licenças de código aberto","settings.openSourceLicenses.view":"Ver","settings.personalization.agents.description":"Edite instruções que personalizem o Codex para si. {learnMore}","settings.personalization.agents.learnMore":"Saber mais","settings.personalization.agents.loadError":"Não foi possível carregar agents.md.","settings.personalization.agents.loading":"A carregar agents.md…","settings.personalization.agents.placeholder":"Adicionar as suas instruções personalizadas…","settings.personalization.agents.retry":"Tentar novamente","settings.personalization.agents.save":"Guardar","settings.personalization.agents.save.error":"Não é possível guardar agents.md","settings.personalization.agents.save.success":"Guardar agents.md","settings.personalization.agents.title":"Instruções personalizadas","settings.personalization.personality.description":"Escolha um tom predefinido para as respostas do Codex","settings.personalization.personality.label":"Personalidade","settings.sample.contentBody":"Use este esquema para compor os seus painéis de definições com espaçamento consistente.","settings.sample.contentTitle":"Bloco de conteúdo de amostra","settings.section.account":"Conta","settings.section.agent":"Configuração","settings.section.data-controls":"Threads arquivadas","settings.section.environments":"Ambientes da nuvem","settings.section.external":"Abre no navegador durante Alpha","settings.section.general-settings":"Geral","settings.section.git-settings":"Git","settings.section.local-environments":"Ambientes","settings.section.mcp-settings":"Servidores MCP","settings.section.mcp-settings.docs":"Documentos","settings.section.mcp-settings.subtitle":"Ligar ferramentas externas e fontes de dados.","settings.section.personalization":"Personalização","settings.section.skills-settings":"Capacidades","settings.section.unavailable":"Ainda não disponível no Alpha","settings.section.usage-analytics":"Utilização e analítica","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"Escolher quantos resultados de comando mostrar nos threads","settings.threadDetail.label":"Detalhe do thread","settings.worktrees.conversation.untitled":"Conversa sem título","settings.worktrees.delete.error":"Falha ao eliminar worktree","settings.worktrees.empty.body":"As worktrees criadas pelo Codex aparecerão aqui.","settings.worktrees.empty.title":"Ainda sem worktrees","settings.worktrees.error.body":"Algo correu mal ao carregar worktrees.","settings.worktrees.error.retry":"Tentar novamente","settings.worktrees.error.title":"Não foi possível carregar worktrees","settings.worktrees.loading.body":"A obter detalhes da worktree.","settings.worktrees.loading.title":"A carregar worktrees","settings.worktrees.repository.loading":"A carregar metadados do repositório…","settings.worktrees.repository.unknown":"Repositório desconhecido","settings.worktrees.row.conversations":"Conversas","settings.worktrees.row.conversations.empty":"Sem conversas ligadas a esta worktree.","settings.worktrees.row.conversations.loading":"A carregar conversas…","settings.worktrees.row.delete":"Eliminar","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Adicionar novo projeto","sidebarElectron.archiveThread":"Arquivar thread","sidebarElectron.archiveThreadError":"Falha ao arquivar thread","sidebarElectron.collapseFolder":"Reduzir pasta","sidebarElectron.createStableWorktree.dialog.cancel":"Cancelar","sidebarElectron.createStableWorktree.dialog.create":"Criar","sidebarElectron.debugNavLink":"Depurar","sidebarElectron.editWorkspaceRootOptionName":"Editar nome","sidebarElectron.expandFolder":"Expandir pasta","sidebarElectron.groupByMenu.recency":"Lista cronológica","sidebarElectron.groupByMenu.title":"Organizar","sidebarElectron.groupByMenu.workspace":"Por projeto","sidebarElectron.inboxRouteNavLink":"Automatizações","sidebarElectron.markThreadUnread":"Marcar como não lida","sidebarElectron.missingWorkspaceRoot":"Esta pasta do projeto foi eliminada ou movida","sidebarElectron.newThread":"Nova thread","sidebarElectron.newThreadInGroup":"Iniciar nova thread em {folder}","sidebarElectron.noRecentThreads":"Sem threads recentes","sidebarElectron.noTasks":"Sem threads","sidebarElectron.noTasks.start":"Adicionar novo projeto","sidebarElectron.noTasksWithFilter":"Não existem threads que correspondam aos filtros","sidebarElectron.pinnedThreads":"Threads fixos","sidebarElectron.recentNavLink":"Threads","sidebarElectron.recentThreads":"Threads recentes","sidebarElectron.removeWorkspaceRootOption":"Retirar","sidebarElectron.renameThread":"Mudar o nome do thread","sidebarElectron.renameThreadDialogAriaLabel":"Título de thread","sidebarElectron.renameThreadDialogCancel":"Cancelar","sidebarElectron.renameThreadDialogPlaceholder":"Adicionar um título…","sidebarElectron.renameThreadDialogSave":"Guardar","sidebarElectron.renameThreadDialogSubtitle":"Manter curto e reconhecível.","sidebarElectron.renameThreadDialogTitle":"Mudar o nome do thread","sidebarElectron.renameThreadError":"Falha ao mudar o nome do thread","sidebarElectron.renameWorkspaceRootOptionLabel":"Nome de apresentação","sidebarElectron.showLess":"Mostrar menos","sidebarElectron.showMenu.all":"Todos os threads","sidebarElectron.showMenu.relevant":"Relevante","sidebarElectron.showMenu.relevantHint":"Mostrar apenas threads recentes para a ramificação atual, worktrees ou outros threads que necessitem da sua atenção","sidebarElectron.showMenu.title":"Mostrar","sidebarElectron.showMenu.tooltip":"Filtrar, ordenar e organizar threads","sidebarElectron.showMenu.trigger":"Filtrar threads da barra lateral","sidebarElectron.showMore":"Mostrar mais","sidebarElectron.skillsRouteNavLink":"Capacidades","sidebarElectron.sortMenu.created":"Criado","sidebarElectron.sortMenu.title":"Ordenar por","sidebarElectron.sortMenu.updated":"Atualizado","sidebarElectron.taskNavigation":"Pastas de automação","sidebarElectron.tasksInFolder":"Automações em {folder}","sidebarElectron.workspaceOptions":"Ações do projeto para {folder}","sidebarElectron.worktreeGroupTooltip":"Esta é uma worktree git","skills.appsPage.createSkill":"Nova capacidade","skills.appsPage.empty.skills":"Não foram encontradas capacidades","skills.appsPage.search.skills":"Pesquisar capacidades","skills.appsPage.search.skills.label":"Pesquisar capacidades","skills.appsPage.section.installedApps":"Instalada","skills.appsPage.section.skills":"Capacidades","skills.appsPage.subheading":"Dê superpoderes ao Codex.<link>Saber mais</link>","skills.appsPage.tab.recommended":"Recomendado","skills.appsPage.tab.skills":"Capacidades","skills.card.contentsError":"Não é possível carregar conteúdos de capacidade.","skills.card.disable":"Desativar","skills.card.disableSuccess":"{skillName} capacidade desativada","skills.card.disabledBadge":"Desativado","skills.card.enable":"Ativar","skills.card.enableSuccess":"{skillName} capacidade ativada","skills.card.loadingContents":"A carregar conteúdos de capacidade...","skills.card.more":"Mais ações","skills.card.open":"Aberto","skills.card.removeFailed":"Falha ao desinstalar capacidade","skills.card.removeSuccess":"{skillName} capacidade desinstalada","skills.card.toggleEnabledError":"Falha ao atualizar a capacidade","skills.card.try":"Experimentar","skills.card.trySkill":"Experimentar capacidade","skills.card.uninstall":"Desinstalar","skills.hero.dotLabel":"Ir para diapositivo {index}","skills.hero.next":"Próxima capacidade em destaque","skills.hero.trySkill":"Experimentar capacidade","skills.page.createSkill":"Nova capacidade","skills.page.empty":"Não foram encontradas capacidades","skills.page.filteredEmpty":"Nenhuma capacidade corresponde aos seus filtros","skills.page.filteredEmptyDescription":"Experimente ajustar os filtros de pesquisa ou âmbito","skills.page.heading":"Capacidades","skills.page.loading":"A carregar capacidades...","skills.page.refreshSkills":"Atualizar","skills.page.refreshSkillsToUseNew":"Atualize para utilizar as novas capacidades","skills.page.search":"Pesquisar capacidades","skills.page.search.label":"Pesquisar capacidades","skills.page.subheading":"Dê superpoderes ao Codex.<link>Saber mais</link>","skills.preview.copyPrompt":"Copiar prompt","skills.preview.examplePrompt":"Prompt de exemplo","skills.recommended.error":"Não é possível carregar as capacidades recomendadas","skills.recommended.install":"Instalar","skills.recommended.installSkill":"Instalar capacidade","skills.recommended.installSuccess":"{skillName} capacidade instalada","skills.recommended.installed":"Instalada","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Instaladas pelo administrador","skills.scope.builtIn":"Sistema","skills.scope.personal":"Pessoal","skills.scope.repo":"Repositório","skills.scope.system":"Sistema","skills.scope.team":"Equipa","skills.scope.user":"Utilizador","skills.section.installed":"Instalada","skills.section.recommended":"Recomendado","story.slidingToggle.existing":"Existente","story.slidingToggle.fromLocal":"A partir do local","story.slidingToggle.new":"Novo","story.slidingToggle.toLocal":"Para local","terminal.close":"Fechar terminal","terminal.title":"Terminal","thinkingShimmer.default":"A pensar","threadEnvIcon.cloudTooltip":"Esta conversa está a ser executada no Codex Cloud.","threadEnvIcon.localTooltip":"Esta conversa está a ser executada localmente.","threadEnvIcon.worktreeTooltip":"Esta conversa está a ser executada numa worktree git local.","threadHeader.archiveConfirmCancel":"Cancelar","threadHeader.archiveConfirmConfirm":"Arquivar","threadHeader.archiveConfirmSubtitle":"Pode encontrá-la mais tarde nas suas threads arquivadas.","threadHeader.archiveConfirmTitle":"Arquivar thread","threadHeader.copyAppLink":"Copiar deeplink","threadHeader.copySessionId":"Copiar ID da sessão","threadHeader.copyWorkingDirectory":"Diretório de trabalho de cópia","threadHeader.forkIntoLocal":"Dividir para local","threadHeader.forkIntoWorktree":"Dividir numa nova worktree","threadHeader.forkPendingWorktreePrompt":"Dividir esta conversa numa nova worktree.","threadHeader.forkPendingWorktreeTitle":"Conversa dividida","threadHeader.forkThreadError":"Falha ao dividir thread","threadHeader.forkThreadRequiresGitRepo":"Dividir para uma nova worktree requer um repositório Git","threadHeader.moreActions":"Ações de thread","threadPage.newThread":"Nova thread","threadPage.runAction.changeEnvironment":"Alterar ambiente","threadPage.runAction.dropdown.titleWithEnvironment":"Ações {environmentName}","threadPage.runAction.environmentSelector.label":"Escolher ambiente","threadPage.runAction.label":"Executar","threadPage.runAction.missing.label":"Configurar uma ação de execução","threadPage.runAction.setup.commandLabel":"Comando para executar","threadPage.runAction.setup.description":"Diga ao Codex como instalar dependências e iniciar a sua app.","threadPage.runAction.setup.editMore":"Definições do ambiente","threadPage.runAction.setup.placeholder":"por exemplo: npm instalar npm executar","threadPage.runAction.setup.submit":"Guardar e executar","threadPage.runAction.setup.title":"Executar","threadPage.runAction.tooltip.withEnvironment":"Ações {environmentName}","threadPage.toggleDiffPanel":"Alternar painel de diferença","threadPage.toggleTerminal":"Alternar terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Abrir pasta","toolSummaryForCmd.exploredFiles":"<verb>Ficheiros</verb> listados","toolSummaryForCmd.exploredFilesInPath":"<verb>Ficheiros</verb> listados em {path}","toolSummaryForCmd.exploringFiles":"<verb>Listar</verb> ficheiros","toolSummaryForCmd.exploringFilesInPath":"<verb>Listar</verb> ficheiros em {path}","toolSummaryForCmd.ranGenericCommand":"<status>Comando executado</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Executou</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Ler</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>A executar comando</status>{timer}","toolSummaryForCmd.runningTimer":"para {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Procurou</verb> por {query}","toolSummaryForCmd.searchedForFiles":"<verb>Procurou</verb> ficheiros","toolSummaryForCmd.searchedForInPath":"<verb>Procurou</verb> por {query} em {path}","toolSummaryForCmd.searchingFor":"<verb>A procurar</verb> por {query}","toolSummaryForCmd.searchingForFiles":"<verb>A procurar</verb> ficheiros","toolSummaryForCmd.searchingForInPath":"<verb>A procurar</verb> por {query} em {path}","traceRecording.details.noteLabel":"O que estava a fazer quando isto aconteceu? (opcional)","traceRecording.details.notePlaceholder":"Naveguei para um thread grande e depois mudei de separador repetidamente…","traceRecording.details.submit":"Enviar rastreamento","traceRecording.details.subtitle":"Podemos enviar este rastreamento de perfil para ajudar a diagnosticar problemas de desempenho.","traceRecording.details.title":"Enviar rastreamento de perfil?","traceRecording.progress.subtitle":"Mantenha o Codex aberto enquanto isto compila.","traceRecording.saving.title":"A guardar rastreamento…","traceRecording.startDetails.cancel":"Cancelar","traceRecording.startDetails.submit":"OK, iniciar gravação","traceRecording.startDetails.subtitle":"Depois de clicar em OK, reproduza o problema de desempenho e, em seguida, clique no indicador flutuante vermelho para parar e rever o rastreamento.","traceRecording.startDetails.title":"Como funciona a gravação de rastreamentos","traceRecording.stopButton.ariaLabel":"Parar gravação de rastreamento","traceRecording.upload.successToast":"Rastreamento de perfil enviado.","traceRecording.uploading.title":"A carregar rastreamento…","wham.diff.addComment":"Adicionar comentário","wham.diff.binaryFile":"Ficheiro binário não apresentado","wham.diff.noContent":"Sem conteúdo","wham.fileTag.deleted":"Eliminado","wham.fileTag.new":"Novo","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}m","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}s","wham.formattedRelativeDateTime.compactYearsAgo":"{value}a","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"A trabalhar na sua tarefa","wham.whamProposedTask.title":"Tarefa sugerida","wham.whamProposedTask.useSuggestion":"Usar sugestão","workspaceRootDialog.addError":"Falha ao adicionar projeto","workspaceRootDialog.cancel":"Cancelar","workspaceRootDialog.confirmAdd":"Adicionar projeto","workspaceRootDialog.confirmPick":"Utilizar projeto","workspaceRootDialog.description":"Introduza um caminho em {host} para usar como projeto.","workspaceRootDialog.pathLabel":"Caminho do projeto","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Adicionar caminho do projeto","workspaceRootDialog.title.pick":"Escolher caminho do projeto","worktreeInitV2.cancel":"Cancelar","worktreeInitV2.notification.failedTitle":"Falha na configuração da worktree.","worktreeInitV2.output.empty":"A aguardar resultado…","worktreeInitV2.status.error":"Falha na configuração da worktree.","worktreeInitV2.status.running":"A criar uma worktree e a executar a configuração.","worktreeInitV2.status.runningFork":"A criar uma worktree para dividir esta conversa.","worktreeInitV2.status.success":"Worktree pronta.","worktreeInitV2.title":"A criar worktree","worktreeInitV2.workLocallyInstead":"Em vez disso, trabalhar localmente","worktreeRestoreBanner.body":"A worktree desta thread foi retirada para poupar espaço no disco","worktreeRestoreBanner.missing.body":"O diretório de trabalho desta thread já não existe","worktreeRestoreBanner.missing.title":"Diretório de trabalho atual em falta","worktreeRestoreBanner.restore.error":"Falha ao restaurar worktree: {message}","worktreeRestoreBanner.restore.success":"Worktree restaurada","worktreeRestoreBanner.restoreCta":"Restaurar worktree","worktreeRestoreBanner.title":"Worktree limpa"};export{e as default};
+const e={"CopyButton.copyTooltip":"Copiar","app.sidebar.hide":"Ocultar barra lateral","app.sidebar.show":"Mostrar barra lateral","app.sidebar.tooltip":"Alternar barra lateral","appHeader.installUpdate":"Atualizar","appSunset.body":"Esta versão da app já não é suportada. Transfira a versão mais recente <here>aqui</here>.","appSunset.title":"É necessário atualizar","automation.updateDirective.create":"Criar","automation.updateDirective.open":"Aberto","automation.updateDirective.untitled":"Automação sem nome","automation.updateDirective.update":"Atualizar","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# tentativa} many {# tentativas} other {# tentativas}}","cloudTaskRow.archiveError":"Falha ao arquivar tarefa","code.diff.requestChange":"Solicitar alteração","code.diffComment.cancel":"Cancelar","code.diffComment.comment":"Comentar","code.diffComment.delete":"Eliminar","code.diffComment.save":"Guardar","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Não foram reportados resultados.","codex.alert.closeAriaLabel":"Fechar","codex.appUpsellBanner.cbpApi.message":"Crie mais rapidamente com a app Codex. Transfira agora ou {learnMoreLink}.","codex.appUpsellBanner.download":"Transferir","codex.appUpsellBanner.freeGo.message":"O Codex está incluído no seu plano até 2 de março. Experimente a app Codex para criar mais rapidamente.","codex.appUpsellBanner.later":"Mais tarde","codex.appUpsellBanner.learnMoreLowercase":"saber mais","codex.appUpsellBanner.new":"Novo","codex.appUpsellBanner.proPlusBusiness.message":"Experimente a app Codex com o dobro dos limites de utilização até 2 de abril. Transfira agora ou {learnMoreLink}.","codex.appUpsellBanner.title":"App Codex","codex.applyDropdown.header.changes":"Alterações","codex.applyDropdown.header.fileCount":"{count, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}}","codex.applyDropdown.header.rows":"linhas","codex.applyDropdown.header.title":"Aplicar alterações","codex.applyDropdown.header.workspace":"Projeto","codex.applyDropdown.results.conflicted":"{count, plural, one {1 ficheiro em conflito:} many {{count} ficheiros em conflito:} other {{count} ficheiros em conflito:}}","codex.applyDropdown.results.empty":"Nenhum ficheiro copiado","codex.applyDropdown.results.skipped":"{count, plural, one {1 ficheiro avançado:} many {{count} ficheiros avançados:} other {{count} ficheiros avançados:}}","codex.applyOrRevertBanner.apply":"Aplicar","codex.applyOrRevertBanner.applyMessage":"Aplicar alterações e continuar localmente?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Esta tarefa foi efetuada em {environment}, pelo que pode não ser devidamente aplicada.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Alterações efetuadas em {environment}, pelo que podem não ser devidamente aplicadas.","codex.applyOrRevertBanner.reapply":"Reaplicar","codex.applyOrRevertBanner.revert":"Reverter","codex.applyOrRevertBanner.revertMessage":"Reverter as alterações aplicadas?","codex.applyResultsDialog.applied":"Devidamente aplicados ({count})","codex.applyResultsDialog.close":"Fechar","codex.applyResultsDialog.conflicted":"Em conflito ({count})","codex.applyResultsDialog.noDetails":"Sem detalhes do ficheiro disponíveis.","codex.applyResultsDialog.skipped":"Avançados ({count})","codex.applyResultsDialog.title":"Aplicar resultados","codex.archiveInfo":"Veja os chats arquivados em {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Controlos de dados","codex.archiveInfo.electron":"Veja os chats arquivados em {settingsLink}","codex.archiveInfo.extension":"Veja os chats arquivados na pasta .codex.","codex.archiveInfo.settingsLink":"Definições","codex.banner.content.description":"Executar tarefas em paralelo, acompanhar o progresso em qualquer lugar e rever PR com IA.","codex.banner.content.headline":"O Codex faz tudo.","codex.cloudTaskRow.archiveTask":"Arquivar tarefa","codex.cloudTaskRow.confirmArchiveTask":"Confirmar","codex.command.feedback":"Feedback","codex.command.findInThread":"Localizar","codex.command.forceReloadSkills":"Forçar o recarregamento das capacidades","codex.command.logOut":"Terminar sessão","codex.command.manageTasks":"Gerir tarefas","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Voltar","codex.command.navigateForward":"Avançar","codex.command.newThread":"Nova thread","codex.command.nextThread":"Thread seguinte","codex.command.openFolder":"Abrir pasta","codex.command.openSkills":"Ir para as capacidades","codex.command.openThreadOverlay":"Abrir janela de thread","codex.command.personalitySettings":"Personalidade","codex.command.previousThread":"Thread anterior","codex.command.settings":"Definições","codex.command.toggleDiffPanel":"Alternar painel de diferença","codex.command.toggleSidebar":"Alternar barra lateral","codex.command.toggleTerminal":"Alternar terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"Configurar","codex.commandGroup.navigation":"Navegação","codex.commandGroup.panels":"Painéis","codex.commandGroup.skills":"Capacidades","codex.commandGroup.thread":"Thread","codex.commandGroup.workspace":"Projeto","codex.commandMenu.noResults":"Sem correspondências","codex.commandMenu.searchPlaceholder":"Comandos de pesquisa","codex.commandMenu.suggestedGroup":"Sugerido","codex.commandMenu.switchWorkspace":"Mudar projeto","codex.commandMenu.title":"Menu de comandos","codex.common.retry":"Tentar novamente","codex.composer.searchBranches":"Procurar ramificações","codex.dialog.basic.body":"Este é um diálogo modal simples que utiliza a nossa camada de abstração sobre o Radix Dialog.","codex.dialog.basic.cancel":"Cancelar","codex.dialog.basic.confirm":"Confirmar","codex.dialog.basic.open":"Abrir diálogo","codex.dialog.basic.title":"Amostra de diálogo","codex.dialog.long.close":"Fechar","codex.dialog.long.line":"Linha deslocável {index} para demonstrar conteúdo longo no diálogo.","codex.dialog.long.open":"Abrir diálogo longo","codex.dialog.long.title":"Diálogo de conteúdo longo","codex.dialog.unstyled.body":"Esta história mostra como os utilizadores podem controlar totalmente o estilo do conteúdo do diálogo.","codex.dialog.unstyled.open":"Abrir diálogo não estilizado","codex.dialog.unstyled.title":"Conteúdo não estilizado","codex.diff.openInEditorPrompt.openButton":"Abrir no editor","codex.diff.openInEditorPrompt.singleLine":"Este ficheiro é demasiado grande para apresentar aqui.","codex.diffView.failedToDecodeBase64Diff":"Falha ao descodificar diferença de base64","codex.diffView.filesChanged":"{fileCount, plural, one {# ficheiro alterado} many {# ficheiros alterados} other {# ficheiros alterados}}","codex.diffView.imagePreviewAlt":"Pré-visualização da imagem","codex.diffView.imagePreviewEmpty":"Sem imagem","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Sem dados de diferença","codex.diffView.pdfPreview.nextPage":"Página seguinte","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Página anterior","codex.diffView.pdfPreviewEmpty":"Sem pré-visualização de PDF","codex.diffView.pdfPreviewError":"Não foi possível gerar a pré-visualização do PDF","codex.diffView.richPreviewDisable":"Desativar pré-visualização avançada","codex.diffView.richPreviewEnable":"Ativar pré-visualização avançada","codex.diffView.richPreviewLoading":"A carregar pré-visualização…","codex.diffView.richPreviewToggle":"Alternar pré-visualização avançada","codex.diffView.switchToUnified":"Mudar para diferença unificada","codex.environmentSelector.noEnvironment":"Sem ambiente","codex.environments.environmentSettings":"Definições do ambiente","codex.environments.learnMore":"Saber mais","codex.environments.listError":"Falha ao carregar ambientes.","codex.environments.noEnvironmentsFound":"Não foram encontrados ambientes","codex.environments.searchError":"Falha ao procurar ambientes.","codex.errorBoundary.genericError":"Ocorreu um erro","codex.errorBoundary.goHome":"Tentar novamente","codex.file.patch.missing":"Não é possível criar correção para este ficheiro.","codex.gallery.automations.cwdLabel":"Projetos","codex.gallery.automations.nameLabel":"Nome","codex.gallery.automations.namePlaceholder":"Resumir uma tarefa","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Descrever o que o Codex deve fazer","codex.gallery.dialogs.automation.label":"Diálogo de automação","codex.gallery.dialogs.basic.body":"Use este esquema para confirmações simples ou formulários curtos.","codex.gallery.dialogs.basic.cancel":"Cancelar","codex.gallery.dialogs.basic.confirm":"Confirmar","codex.gallery.dialogs.basic.label":"Diálogo básico","codex.gallery.dialogs.basic.title":"Amostra de diálogo","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Descreva o problema","codex.gallery.dialogs.feedbackSubmission.bad":"Mau resultado","codex.gallery.dialogs.feedbackSubmission.bug":"Erro","codex.gallery.dialogs.feedbackSubmission.good":"Bom resultado","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Incluir os registos de sessão atuais do Codex","codex.gallery.dialogs.feedbackSubmission.label":"Submissão de feedback","codex.gallery.dialogs.feedbackSubmission.other":"Outros","codex.gallery.dialogs.feedbackSubmission.placeholder":"Descreva o problema aqui","codex.gallery.dialogs.feedbackSubmission.submit":"Submeter","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback carregado. Se o problema persistir, abra um problema do GitHub ou mencione a ID do thread num problema aberto existente:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Descartar","codex.gallery.dialogs.feedbackSuccess.label":"Feedback com sucesso","codex.gallery.dialogs.feedbackSuccess.title":"Feedback carregado","codex.gallery.dialogs.gitApplyResults.applied":"Devidamente aplicados (2)","codex.gallery.dialogs.gitApplyResults.close":"Fechar","codex.gallery.dialogs.gitApplyResults.conflicted":"Em conflito (1)","codex.gallery.dialogs.gitApplyResults.label":"Aplicar resultados","codex.gallery.dialogs.gitApplyResults.title":"Aplicar resultados","codex.gallery.dialogs.gitPushError.body":"Faça pull das alterações mais recentes ou force o push se souber que é seguro substituir o histórico remoto.","codex.gallery.dialogs.gitPushError.cancel":"Cancelar","codex.gallery.dialogs.gitPushError.force":"Forçar push","codex.gallery.dialogs.gitPushError.label":"Erro de push","codex.gallery.dialogs.gitPushError.subtitle":"A sua ramificação está atrás de origem/principal.","codex.gallery.dialogs.gitPushError.title":"Falha ao fazer push das alterações","codex.gallery.dialogs.gitRevert.cancel":"Cancelar","codex.gallery.dialogs.gitRevert.confirm":"Reverter","codex.gallery.dialogs.gitRevert.label":"Reverter alterações","codex.gallery.dialogs.gitRevert.skip":"Não perguntar novamente","codex.gallery.dialogs.gitRevert.subtitle":"Esta ação retira todas estas alterações.","codex.gallery.dialogs.gitRevert.title":"Reverter alterações?","codex.gallery.dialogs.longForm.label":"Diálogo de formulário longo","codex.gallery.dialogs.proseModal.body":"Este estilo de modal é utilizado para instruções mais longas, integração ou blocos de conteúdo ricos.","codex.gallery.dialogs.proseModal.close":"Fechar","codex.gallery.dialogs.proseModal.subtitle":"Partilhe aqui orientações ou documentação em formato longo.","codex.gallery.dialogs.proseModal.title":"Modal de prosa","codex.gallery.dialogs.submitBlocked.label":"Submeter bloqueado","codex.gallery.dialogs.submitBlocked.message":"Não foi possível enviar a sua mensagem porque o projeto não está disponível.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Não é possível enviar mensagem","codex.gallery.dialogs.title":"Diálogos","codex.gallery.dropdown.filterPlaceholder":"Filtrar itens","codex.gallery.dropdowns.actionRow":"Linhas de ação","codex.gallery.dropdowns.actionRow.disabled":"Ação desativada","codex.gallery.dropdowns.actionRow.primary":"Ação principal","codex.gallery.dropdowns.actionRow.secondary":"Ação secundária","codex.gallery.dropdowns.actionRow.trigger":"Mostrar ações","codex.gallery.dropdowns.basic":"Lista pendente básica","codex.gallery.dropdowns.basic.newFile":"Novo ficheiro","codex.gallery.dropdowns.basic.newFolder":"Nova pasta","codex.gallery.dropdowns.basic.openSettings":"Abrir definições","codex.gallery.dropdowns.basic.title":"Ações rápidas","codex.gallery.dropdowns.basic.trigger":"Abrir menu","codex.gallery.dropdowns.basic.upload":"Carregar","codex.gallery.dropdowns.panel":"Superfície do painel","codex.gallery.dropdowns.panel.apply":"Aplicar","codex.gallery.dropdowns.panel.body":"Rever diferenças e aplicar ao seu projeto.","codex.gallery.dropdowns.panel.preview":"Pré-visualização","codex.gallery.dropdowns.panel.title":"Aplicar alterações","codex.gallery.dropdowns.panel.trigger":"Abrir painel","codex.gallery.dropdowns.search":"Lista pendente pesquisável","codex.gallery.dropdowns.search.first":"Canal alpha","codex.gallery.dropdowns.search.second":"Canal beta","codex.gallery.dropdowns.search.third":"Lançamento de candidato","codex.gallery.dropdowns.search.trigger":"Filtrar itens","codex.gallery.dropdowns.submenu":"Lista pendente com submenu","codex.gallery.dropdowns.submenu.optionA":"Projeto alfa","codex.gallery.dropdowns.submenu.optionB":"Projeto beta","codex.gallery.dropdowns.submenu.optionC":"Projeto gama","codex.gallery.dropdowns.submenu.primary":"Atribuir proprietário","codex.gallery.dropdowns.submenu.secondary":"Mover para","codex.gallery.dropdowns.submenu.tertiary":"Arquivar","codex.gallery.dropdowns.submenu.trigger":"Escolher ação","codex.gallery.dropdowns.title":"Listas pendentes","codex.gallery.inbox.automations.close":"Fechar","codex.gallery.inbox.automations.popover.cardTitle":"Gerir automações","codex.gallery.inbox.automations.popover.dialogTitle":"Gerir automações","codex.header.settingsTooltip":"Definições","codex.hunk.patch.error":"Falha ao testar","codex.hunk.patch.missing":"Não é possível criar correção para este bloco.","codex.hunk.patch.partialSuccess":"Sucesso parcial","codex.hunk.patch.revertError":"Falha ao não testar","codex.hunk.patch.revertSuccess":"Não testado com sucesso","codex.hunk.patch.success":"Testado com sucesso","codex.legal.autonomy.details":"Para obter mais detalhes, aceda a {link}","codex.legal.autonomy.details.link":"Documentos do Codex","codex.legal.autonomy.title":"Decidir quanta autonomia quer conceder","codex.legal.backButton":"Voltar","codex.legal.cloud.taskOne.meta":"openai/agi · 12 de out.","codex.legal.cloud.taskOne.title":"Explicar o repositório a um novo designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8 de out.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Criar um tema de modo escuro","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 de out.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Corrigir um erro de integração","codex.legal.continue.apikey":"Continuar","codex.legal.continueButton":"Seguinte","codex.legal.copilot.details":"Usa o seu plano do Copilot para todas as chamadas, faturação e limites de utilização do modelo. A utilização da extensão do Codex está sujeita a {oaiTos} e {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Termos de serviço do GitHub","codex.legal.copilot.oaiTosLink":"Termos de serviço do Codex OpenAI","codex.legal.copilot.title":"Capacitado pelo GitHub Copilot","codex.legal.mistakes.review":"Rever o código que escreve e os comandos que executa","codex.legal.mistakes.title":"O Codex pode cometer erros","codex.legal.powered.details":"Utiliza os limites de utilização do seu plano e {link}","codex.legal.powered.details.link":"preferências de dados de treino","codex.legal.powered.title":"Capacitado pela sua conta do ChatGPT","codex.legal.step.cloud.subtitle":"Envie tarefas para o Codex executar em segundo plano para que possa manter o foco e avançar mais rapidamente.","codex.legal.step.cloud.title":"Entregar ao Codex na nuvem","codex.legal.step.intro.subtitle":"O Codex navega, edita, executa comandos e efetua testes diretamente no seu repositório. Capacitado pela sua conta ChatGPT.","codex.legal.step.intro.title":"Codex no seu IDE","codex.legal.step.todo.subtitle":"Escreva um comentário TODO e converta-o numa tarefa do Codex com um único clique.","codex.legal.step.todo.title":"Transformar TODO em tarefas do Codex","codex.legal.todo.heading":"// TODO: implementar esquema","codex.localConversation.closeImagePreview":"Fechar pré-visualização da imagem","codex.localConversation.userImageAttachment":"Anexo do utilizador","codex.localTaskRow.archiveTask":"Arquivar thread","codex.localTaskRow.awaitingApproval":"A aguardar aprovação","codex.localTaskRow.awaitingResponse":"A aguardar resposta","codex.localTaskRow.confirmArchiveTask":"Confirmar","codex.loggedOut.apiKeyPrompt.cancel":"Cancelar","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Obter chave API","codex.loggedOut.apiKeyPrompt.inputLabel":"Introduza a sua chave API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Tarefas da nuvem desativadas com a chave API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Tarefas da nuvem desativadas com o Copilot e a chave API","codex.loggedOut.signIn":"Iniciar sessão com o ChatGPT","codex.loggedOut.signIn.cancel":"Cancelar início de sessão","codex.loggedOut.signInWithCopilot":"Iniciar sessão com o GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Usar a chave API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Ferramenta {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Chamado","codex.mcpTool.collapsedLabel.verb.calling":"A chamar","codex.mcpTool.embeddedResource.contentLabel":"Conteúdo","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tipo de MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"A ferramenta não apresentou conteúdo","codex.mcpTool.rawPayloadHeading":"{server} em bruto. Carga útil de chamada da ferramenta {tool}","codex.menu.recent":"Recentes","codex.menu.seeAllHistory":"Ver todo o histórico","codex.modelCapacityBanner.headline.noReset":"{modelName} está no limite de capacidade neste momento. Tente novamente mais tarde ou inicie uma nova conversa com outro modelo.","codex.modelCapacityBanner.headline.withReset":"{modelName}  está no limite de capacidade neste momento. Tente novamente após {resetDate} ou inicie uma nova conversa com outro modelo.","codex.modelCapacityBanner.title":"O modelo selecionado está no limite de capacidade","codex.patch.change.contentsDeleted":"Conteúdos eliminados","codex.patch.change.created":"Criado","codex.patch.change.created-file":"Ficheiro criado","codex.patch.change.creating":"A criar","codex.patch.change.deleted":"Eliminado","codex.patch.change.deleted-file":"Ficheiro eliminado","codex.patch.change.deleting":"A eliminar","codex.patch.change.edited":"Editado","codex.patch.change.edited-file":"Ficheiro editado","codex.patch.change.editing":"A editar","codex.patch.change.noChanges":"Sem alterações","codex.patch.change.rejected-add":"Rejeitado","codex.patch.change.rejected-delete":"Rejeitado","codex.patch.change.rejected-edit":"Rejeitado","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} de {total} tarefas concluídas","codex.plan.todoListCreated":"Lista de tarefas criada com {total} tarefas","codex.profileDropdown.apiKeyAuth":"Sessão iniciada com a chave API","codex.profileDropdown.codexSettings":"Definições do Codex","codex.profileDropdown.copilotAuth":"Sessão iniciada com Copilot","codex.profileDropdown.defaultAccountTitle":"Conta predefinida","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter para enviar prompts longos","codex.profileDropdown.enterBehaviorError":"Falha ao atualizar definição","codex.profileDropdown.getPlus":"Atualize para obter limites superiores","codex.profileDropdown.keyboardShortcuts":"Atalhos de teclado","codex.profileDropdown.language":"Idioma","codex.profileDropdown.languageDefault":"Detetar automaticamente","codex.profileDropdown.languageSearchPlaceholder":"Pesquisar idiomas","codex.profileDropdown.languageUpdateError":"Falha ao atualizar idioma","codex.profileDropdown.logOut":"Terminar sessão","codex.profileDropdown.mcp":"Definições de MCP","codex.profileDropdown.openConfigToml":"Abrir config.toml","codex.profileDropdown.openConfigToml.wsl":"Abrir config.toml no ambiente WSL","codex.profileDropdown.openExtensionSettings":"Abrir definições","codex.profileDropdown.openMcpSettings":"Abrir definições de MCP","codex.profileDropdown.openOnStartup":"Abrir no arranque","codex.profileDropdown.openOnStartupError":"Falha ao atualizar definição","codex.profileDropdown.openSkillsSettings":"Abrir as definições das capacidades","codex.profileDropdown.personalAccountTitle":"Conta pessoal","codex.profileDropdown.queueFollowUps":"Seguimentos de fila","codex.profileDropdown.queueFollowUpsError":"Falha ao atualizar definição","codex.profileDropdown.readDocs":"Ler documentos","codex.profileDropdown.readSkillsDocs":"Ler documentos","codex.profileDropdown.runInWsl":"Executar em WSL","codex.profileDropdown.runInWslError":"Falha ao atualizar definição","codex.profileDropdown.runInWslTooltip":"Executa o Codex no WSL. Recomendado para melhorar a segurança do sandbox e obter um melhor desempenho.","codex.profileDropdown.settings":"Definições de IDE","codex.profileDropdown.settingsPage":"Definições","codex.profileDropdown.signInWithOpenAI":"Iniciar sessão com o ChatGPT","codex.profileDropdown.skills":"Definições das capacidade","codex.profileDropdown.switchToCopilotAccount":"Usar conta Copilot","codex.profileDropdown.switchToOpenAIAccount":"Usar conta OpenAI","codex.profileDropdown.todoCodelens":"Corrigir comentários TODO","codex.profileDropdown.todoCodelensError":"Falha ao atualizar definição","codex.profileDropdown.windowsDocumentation":"Documentação do Windows","codex.profileFooter.signedInFallback":"Definições","codex.profileFooter.upgrade":"Atualizar","codex.recentTasksMenu.clearSearch":"Limpar pesquisa","codex.recentTasksMenu.cloud":"Tarefas da nuvem","codex.recentTasksMenu.count":"{count, plural, =0 {Sem tarefas em curso} one {# tarefa em curso} many {# tarefas em curso} other {# tarefas em curso}}","codex.recentTasksMenu.empty":"Ainda sem threads","codex.recentTasksMenu.errorCloud":"Falha ao carregar tarefas.","codex.recentTasksMenu.errorCloud.inline":"Falha ao carregar tarefas da nuvem.","codex.recentTasksMenu.filterAll":"Todos","codex.recentTasksMenu.filterCloudTasks":"Filtrar tarefas da nuvem","codex.recentTasksMenu.filterTooltip":"Filtrar tarefas por ambiente","codex.recentTasksMenu.local":"Tarefas locais","codex.recentTasksMenu.recent":"Todas as tarefas","codex.recentTasksMenu.search":"Pesquisar tarefas recentes","codex.recentTasksMenu.searchEmpty":"Sem resultados","codex.recentTasksMenu.tooltip":"Histórico de tarefas","codex.recentTasksMenu.trigger":"Tarefas recentes. {count, plural, one {# em curso} many {# em curso} other {# em curso}}","codex.remoteConversation.applyDiff.applyCta":"Aplicar alterações","codex.remoteConversation.applyDiff.dropdownTitle":"Aplicar alterações a uma ramificação local","codex.remoteConversation.applyDiff.revertCta":"Reverter alterações","codex.remoteConversation.closeImagePreview":"Fechar pré-visualização da imagem","codex.remoteConversation.codexCloudTask":"Está a ver uma tarefa da <u>nuvem Codex</u>","codex.remoteConversation.errorWithMessage":"Erro: {message}","codex.remoteConversation.loadingImage":"A carregar imagem","codex.remoteConversation.openInWeb":"Abrir na web","codex.remoteConversation.streaming":"A começar","codex.remoteConversation.turnFailed":"Ocorreu um erro durante esta tarefa","codex.remoteConversation.turnTab.loading":"Tentativa {number}","codex.remoteConversation.turnTab.title":"Tentativa {number}","codex.remoteConversation.userImageAttachment":"Anexo do utilizador","codex.remoteConversation.viewPreviousTurns":"Abrir na web","codex.remoteConversation.viewPreviousTurns.buttonText":"Aberto","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Abrir na web","codex.review.copyGitApplyCommand":"Copiar comando git apply","codex.review.copyGitApplyCommand.toast":"Copiou o comando git apply para a área de transferência","codex.review.diffTooLarge.description":"Esta diferença é demasiado grande para apresentar na Revisão.","codex.review.diffTooLarge.title":"Diferença demasiado grande para apresentar","codex.review.expandOrCollapseDiffButton.collapse":"Reduzir todas as diferenças","codex.review.expandOrCollapseDiffButton.expand":"Expandir todas as diferenças","codex.review.expandOrCollapseDiffMenu.collapse":"Reduzir todas as diferenças","codex.review.expandOrCollapseDiffMenu.expand":"Expandir todas as diferenças","codex.review.fileSearch.clear":"Apagar filtro de ficheiros","codex.review.fileSearch.empty":"Não há ficheiros para o filtro atual.","codex.review.fileSearch.label":"Filtrar ficheiros","codex.review.fileSearch.placeholder":"Filtrar ficheiros…","codex.review.filesChanged":"{num, plural, =0 {Sem ficheiros alterados} one {# ficheiro alterado} many {# ficheiros alterados} other {# ficheiros alterados}}","codex.review.find.loadMore":"Carregar mais correspondências","codex.review.fullReview.hideFileTree":"Ocultar árvore de ficheiros","codex.review.fullReview.showFileTree":"Mostrar árvore de ficheiros","codex.review.header.moreOptions":"Rever opções","codex.review.largeDiff.banner":"Grande diferença detetada — a mostrar um ficheiro de cada vez.","codex.review.loadFullFiles.disable":"Não carregar ficheiros completos","codex.review.loadFullFiles.enable":"Carregar ficheiros completos","codex.review.noDiff":"As alterações de ficheiro serão apresentadas aqui","codex.review.noDiff.gitInit.createRepository":"Crie um repositório git","codex.review.noDiff.gitInit.creating":"A criar…","codex.review.noDiff.gitInit.error":"Falha ao iniciar Git: {message}","codex.review.noDiff.gitInit.success":"Repositório Git criado","codex.review.noDiff.gitRepoRequired.description":"Registar e anular alterações neste projeto","codex.review.noDiff.gitRepoRequired.title":"Crie um repositório Git","codex.review.noDiff.orNoLongerAvailable":"ou as diferenças mais recentes já não estão disponíveis","codex.review.noDiff.reverted":"A última execução foi revertida","codex.review.noDiff.revertedOrCommitted":"A última execução foi revertida ou enviada","codex.review.refreshGitQueries":"Atualizar","codex.review.revert.file.error":"Falha ao reverter {path}","codex.review.revert.file.partialSuccess":"{path} parcialmente revertido","codex.review.revert.file.success":"{path} revertido","codex.review.revert.hunk.error":"Falha ao reverter bloco {hunkNumber} em {path}","codex.review.revert.hunk.partialSuccess":"Bloco {hunkNumber} parcialmente revertido em {path}","codex.review.revert.hunk.success":"Bloco {hunkNumber} revertido em {path}","codex.review.revert.section.error":"Falha ao reverter secção","codex.review.revert.section.partialSuccess":"Secção parcialmente revertida","codex.review.revert.section.success":"Secção revertida","codex.review.revertDialog.cancel":"Cancelar","codex.review.revertDialog.confirm":"Confirmar","codex.review.revertDialog.message":"Esta ação retira todas estas alterações.","codex.review.revertDialog.skip":"Não perguntar novamente","codex.review.revertDialog.title":"Reverter alterações?","codex.review.richPreview.disable":"Desativar pré-visualização avançada","codex.review.richPreview.enable":"Ativar pré-visualização avançada","codex.review.source.cloud":"Alterações na nuvem","codex.review.source.local.all":"Todas as alterações na ramificação","codex.review.source.local.lastTurn":"Últimas alterações da execução","codex.review.source.local.uncommitted":"Alterações não submetidas","codex.review.source.worktree":"Alterações da worktree não submetidas","codex.review.stageFilter.empty.staged.description":"Aceitar edições para as testar","codex.review.stageFilter.empty.staged.title":"Sem alterações testadas","codex.review.stageFilter.empty.unstaged.description":"As alterações de código serão apresentadas aqui","codex.review.stageFilter.empty.unstaged.title":"Sem alterações não testadas","codex.review.stageFilter.staged":"Testadas","codex.review.stageFilter.staged.count":"Testadas · {count}","codex.review.stageFilter.unstaged":"Não testadas","codex.review.stageFilter.unstaged.count":"Não testadas · {count}","codex.review.switchToSplit":"Mudar para diferença dividida","codex.review.switchToUnified":"Mudar para diferença unificada","codex.review.toggleDiffView":"Alternar vista de diferença","codex.review.wordDiffs.disable":"Desativar diferenças de palavras","codex.review.wordDiffs.enable":"Ativar diferenças de palavras","codex.review.wrap.disable":"Desativar envolvimento de palavras","codex.review.wrap.enable":"Ativar envolvimento de palavras","codex.section.patch.missing":"Não é possível criar correção para esta secção.","codex.shell.collapse":"Reduzir shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Copiou conteúdos de shell","codex.shell.copy.copyTooltip":"Copiar conteúdos de shell","codex.shell.copyCommand":"Copiar comando","codex.shell.copyOutput":"Copiar resultado","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Expandir shell","codex.shell.name":"Shell","codex.shell.noOutput":"Sem saída","codex.signInFailed.message":"Início de sessão falhou: {rawMessage}","codex.stories.toast.show":"Mostrar Toast","codex.stories.tooltip.basic":"Isto é uma dica","codex.stories.tooltip.hoverMe":"Passar por cima","codex.stories.tooltip.largerOffset":"Esta dica tem um desvio maior","codex.stories.tooltip.offsetButton":"Desvio maior","codex.stories.tooltip.shortcutButton":"Com atalho","codex.stories.tooltip.withShortcut":"Alternar terminal","codex.taskRow.title":"Nova thread","codex.taskRowLayout.confirm":"Confirmar","codex.threadFindBar.chatFilter":"Procurar chat","codex.threadFindBar.close":"Fechar localizar","codex.threadFindBar.diffFilter":"Pesquisar diferenças","codex.threadFindBar.label":"Localizar em thread","codex.threadFindBar.nextResult":"Resultado seguinte","codex.threadFindBar.noResults":"0 resultados","codex.threadFindBar.placeholder":"Pesquisar thread…","codex.threadFindBar.placeholder.extension":"Pesquisar thread…","codex.threadFindBar.placeholder.review":"Pesquisar diferenças…","codex.threadFindBar.placeholder.review.extension":"Pesquisar diferenças…","codex.threadFindBar.previousResult":"Resultado anterior","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# ficheiro alterado} many {# ficheiros alterados} other {# ficheiros alterados}}","codex.unifiedDiff.inlineLargeFile":"Demasiado grande para apresentar inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Anular","codex.unifiedDiff.revertPatchError":"Falha ao reverter alterações","codex.unifiedDiff.revertPatchSuccess":"Alterações revertidas","codex.unifiedDiff.reviewChangesSuffix":"alterações","codex.unifiedDiff.reviewShort":"Revisão","codex.unifiedDiff.viewDiffTooltip":"Revisão","codex.upsellBanner.business.headline":"Para ter mais acesso de imediato, envie um pedido para o seu administrador ou aguarde até {resetDate}.","codex.upsellBanner.cbp.headline":"Para ter mais acesso, envie um pedido para o seu administrador.","codex.upsellBanner.cta.addCredits":"Adicionar créditos","codex.upsellBanner.cta.upgradeAccount":"Atualizar","codex.upsellBanner.cta.viewUsage":"Ver utilização","codex.upsellBanner.free.trialHeadline":"O seu limite de utilização é reposto a {resetDate}. Para continuar a usar o Codex e obter acesso ao GPT-5.3-Codex, inicie já a sua avaliação gratuita do Plus.","codex.upsellBanner.freeOrGo.headline":"O seu limite de utilização é reposto a {resetDate}. Para continuar a usar o Codex, atualize para o Plus.","codex.upsellBanner.general.headline":"O seu limite de utilização é reposto a {resetDate}.","codex.upsellBanner.general.title":"Esgotou as mensagens do Codex","codex.upsellBanner.go.trialHeadline":"O seu limite de utilização é reposto a {resetDate}. Para continuar a usar o Codex, inicie já a sua avaliação gratuita do Plus.","codex.upsellBanner.plus.headline":"O seu limite de utilização é reposto a {resetDate}. Para continuar a usar o Codex, adicione créditos ou atualize para o Pro.","codex.upsellBanner.pro.headline":"O seu limite de utilização é reposto a {resetDate}. Adicione créditos para continuar a usar o Codex.","codex.userMessage.autoResolveSync":"Resolver conflitos automaticamente","codex.userMessage.commentCount":"{count, plural, one {# comentário} many {# comentários} other {# comentários}}","codex.userMessage.copiedAriaLabel":"Copiado","codex.userMessage.copiedTooltip":"Copiado","codex.userMessage.copyAriaLabel":"Copiar mensagem","codex.userMessage.copyTooltip":"Copiar","codex.userMessage.implementPlan":"Implementar plano","codex.userMessage.noContent":"(Sem conteúdo)","codex.userMessage.priorConversation":"Referência à conversa anterior","codex.userMessage.reviewMode":"Modo de revisão","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"para {query}","codex.webSearch.summary.verb.completed":"Pesquisado na web","codex.webSearch.summary.verb.inProgress":"A pesquisar na web","codex.windowsInstallWslBanner.dismiss":"Descartar","codex.windowsInstallWslBanner.installWslCta":"Ativar sandbox","codex.windowsInstallWslBanner.learnMore":"Saber mais","codex.windowsSandboxBanner.content":"O modo de agente usa um sandbox experimental no Windows para limitar o acesso ao sistema de ficheiros e à rede. {sandboxLink}","codex.windowsSandboxBanner.title":"Ativar sandbox para o modo de agente","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Definições do Windows","codexUpgradeModal.body":"O nosso modelo mais recente de programação por agente: mais inteligente, mais rápido e mais capaz para trabalho técnico geral. {link}","codexUpgradeModal.close":"Fechar","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Saber mais","codexUpgradeModal.title":"Apresentamos o GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Experimente já o GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Continuar com o modelo atual","commentAttachments.numComments":"{count, plural, one {# comentário} many {# comentários} other {# comentários}}","commentAttachments.removeAriaLabel":"Retirar anexo de comentários","common.close":"Fechar","composer.addContext.openFilePickerError":"Não foi possível abrir o seletor de ficheiros","composer.addContextDropdown.ariaLabel":"Adicionar ficheiros e mais","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Adicionar ficheiros e mais","composer.addPhotosAndFiles":"Adicionar fotos e ficheiros","composer.atMentionList.emptyQuery":"Escrever para procurar ficheiros","composer.atMentionList.loading":"A procurar...","composer.atMentionList.noResults":"Sem resultados","composer.attemptsSelector.option":"{count, plural, one {# versão} many {# versões} other {# versões}}","composer.attemptsSelector.tooltip":"Número de tentativas paralelas para o Codex efetuar","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Parar","composer.cloudFollowUp.cloud":"Nuvem","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"Onde deve ser executado este seguimento?","composer.cloudTaskCreationError":"Erro ao criar tarefa da nuvem","composer.cloudTaskError":"Erro ao criar tarefa","composer.contextWindow.autoCompactionTooltipLine1":"O Codex compacta automaticamente o seu contexto","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Janela de contexto:","composer.contextWindowUsageStatusFull":"{usage}% cheia","composer.contextWindowUsageStatusLeft":"{usage}% usou ({remaining}% restante)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens usados","composer.customCliTooltip":"Utilizar um executável CLI personalizado","composer.dictation.aria":"Ditar","composer.dictation.cancel.aria":"Parar ditado","composer.dictation.cancel.tooltip":"Parar ditado","composer.dictation.startError":"Não foi possível iniciar ditado","composer.dictation.submit.aria":"Transcrever e enviar","composer.dictation.submit.tooltip":"Transcrever e enviar","composer.dictation.tooltip":"Manter premido para ditar","composer.dictation.transcribeError":"Não foi possível transcrever áudio","composer.dictation.unsupported":"O ditado não está disponível neste dispositivo","composer.dropOverlay.holdShift":"Manter premido {key} para largar","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Criar novo","composer.environmentSelector.error":"Erro ao carregar ambientes","composer.environmentSelector.goBack":"Voltar ao compositor","composer.environmentSelector.title":"Selecionar ambiente","composer.environmentSelector.tooltip":"Selecionar um ambiente da nuvem","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Selecionar um ficheiro","composer.filePicker.selectFiles":"Selecionar ficheiros","composer.followerTooltip":"Para continuar, volte à janela onde esta conversa começou.","composer.footer.branchSwitch.checkoutError":"Falha ao mudar de ramificação {message}","composer.footer.branchSwitch.createAndCheckout":"Criar e verificar nova ramificação…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Faça commit das alterações para criar e verificar uma nova ramificação","composer.footer.branchSwitch.createBranchError":"Falha ao criar ramificação: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nome da ramificação","composer.footer.branchSwitch.createDialog.branchExistsError":"A ramificação já existe.","composer.footer.branchSwitch.createDialog.close":"Fechar","composer.footer.branchSwitch.createDialog.createAndCheckout":"Criar e verificar","composer.footer.branchSwitch.createDialog.placeholder":"nova-ramificação","composer.footer.branchSwitch.createDialog.title":"Criar e verificar ramificação","composer.footer.branchSwitch.createDialog.trailingSlashError":"O nome da ramificação não pode terminar com “/”.","composer.footer.branchSwitch.tooltip":"Mudar ramificação","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Faça commit das alterações em {fileCount, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}} para verificar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"alterações em {fileCount, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}} para verificar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Cancelar","composer.footer.branchSwitch.uncommittedDialog.commit":"Fazer commit e mudar de ramificação…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"As suas alterações aos seguintes ficheiros serão substituídas pela verificação:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Faça commit das suas alterações para continuar","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"a ramificação selecionada","composer.footer.branchSwitch.uncommittedDialog.title":"Faça commit das alterações para mudar de ramificação","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Sem commit: {fileCount, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}}","composer.forkSlashCommand.description":"Dividir esta conversa para local ou para uma nova worktree","composer.forkSlashCommand.option.local.description":"Continuar numa nova thread","composer.forkSlashCommand.option.local.title":"Dividir para local","composer.forkSlashCommand.option.worktree.description":"Continuar numa nova worktree","composer.forkSlashCommand.option.worktree.title":"Dividir numa nova worktree","composer.forkSlashCommand.title":"Dividir","composer.ideContextIndicator":"Contexto do IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Incluir contexto do IDE","composer.ideContextIndicator.tooltipToggle":"para ativar/desativar","composer.ideContextSlashCommand.disableDescription":"Desativar contexto do IDE","composer.ideContextSlashCommand.enableDescription":"Incluir a seleção atual, ficheiros abertos e outro contexto do seu IDE","composer.ideContextSlashCommand.title":"Contexto do IDE","composer.imageInputsUnsupported":"Este modelo não suporta carregamento de imagens. Tente um modelo diferente.","composer.imageUploadFailed":"Falha ao carregar imagem","composer.includeIdeContextDropdown":"Incluir contexto IDE","composer.includeIdeContextDropdown.ariaLabel":"Incluir contexto IDE","composer.localCwdDropdown.addWorkspaceRoot":"Adicionar novo projeto","composer.localCwdDropdown.noActiveRoot":"Selecione o seu projeto","composer.localCwdDropdown.noResults":"Nenhuma pasta encontrada","composer.localCwdDropdown.title":"Selecione o seu projeto","composer.localTaskError":"Erro ao iniciar conversa","composer.mcpSlashCommand.description":"Mostrar o estado do servidor MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Não autenticado","composer.mcpStatus.authOauth":"Autenticado (OAuth)","composer.mcpStatus.authToken":"Autenticado (chave API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Fechar","composer.mcpStatus.disabled":"Desativado","composer.mcpStatus.emptyLabel":"Servidores:","composer.mcpStatus.emptyValue":"Sem servidores MCP configurados","composer.mcpStatus.enabled":"Ativado","composer.mcpStatus.errorLabel":"Estado:","composer.mcpStatus.errorValue":"Não é possível carregar o estado de MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agente","composer.mode.agentMode.auto.dropdownLabel":"Agente","composer.mode.agentMode.auto.optionLabel":"Agente","composer.mode.agentMode.changePermission":"Mudar de modo","composer.mode.agentMode.custom":"Personalizado","composer.mode.agentMode.custom.dropdownLabel":"Personalizado","composer.mode.agentMode.custom.option":"Personalizado (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personalizado (config.toml)","composer.mode.agentMode.customInfo.cancel":"Cancelar","composer.mode.agentMode.customInfo.cli":"Pode ajustar as definições a partir do CLI ou editando o ficheiro diretamente.","composer.mode.agentMode.customInfo.confirm":"Usar o modo personalizado","composer.mode.agentMode.customInfo.description":"O modo personalizado aplica as políticas de aprovação e sandbox definidas no seu ficheiro <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Saiba mais sobre como configurar as políticas de aprovação e sandbox nos<link>documentos do ambiente de execução</link>.","composer.mode.agentMode.customInfo.refresh":"As alterações têm efeito na próxima vez que o agente seja executado.","composer.mode.agentMode.customInfo.title":"Como funciona o modo personalizado","composer.mode.agentMode.fullAccess":"Agente (acesso completo)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agente (acesso completo)","composer.mode.agentMode.fullAccess.optionLabel":"Agente (acesso completo)","composer.mode.agentMode.fullAccessConfirm.caution":"Tenha cuidado ao ativar o acesso completo. Isto aumenta significativamente o risco de perda de dados, fugas ou comportamentos inesperados.","composer.mode.agentMode.fullAccessConfirm.confirm":"Sim, continuar","composer.mode.agentMode.fullAccessConfirm.description":"Quando o Codex é executado com acesso completo, pode editar qualquer ficheiro no seu computador e executar comandos com acesso à rede, sem precisar da sua aprovação.","composer.mode.agentMode.fullAccessConfirm.goBack":"Cancelar","composer.mode.agentMode.fullAccessConfirm.title":"Ativar acesso completo?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Mudar de modo","composer.mode.agentMode.tooltip.auto":"Ler e editar ficheiros, e executar comandos.","composer.mode.agentMode.tooltip.custom":"Usar as políticas de aprovação e sandbox mais recentes definidas em config.toml.","composer.mode.agentMode.tooltip.fullAccess":"O Codex pode editar ficheiros fora do projeto e executar comandos com acesso à rede. Tenha cuidado ao utilizar.","composer.mode.agentMode.tooltip.readOnly":"Requer aprovação para editar ficheiros e executar comandos.","composer.mode.cloud.tooltip":"Trabalhar num ambiente da nuvem","composer.mode.contactAdmin":"Para obter mais acesso, contacte o seu administrador","composer.mode.local":"Local","composer.mode.local.learnMore":"Saber mais","composer.mode.local.model.custom":"Personalizado","composer.mode.local.model.loadingModel":"A carregar modelo","composer.mode.local.model.selecrReasoningEffort":"Selecionar raciocínio","composer.mode.local.model.selectModel":"Selecionar modelo","composer.mode.local.model.tooltip":"Escolher modelo","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Elevado","composer.mode.local.reasoning.low.label":"Baixo","composer.mode.local.reasoning.medium.label":"Médio","composer.mode.local.reasoning.minimal.label":"Mínimo","composer.mode.local.reasoning.none.label":"Nenhum","composer.mode.local.reasoning.xhigh.label":"Muito elevado","composer.mode.localRemoteWhereRun":"Selecionar onde executar a tarefa","composer.mode.newTask.header":"Continuar em","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"Limites de utilização restantes","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"Limite de {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {limite semanal} many {{weeks} limite semanal} other {{weeks} limite semanal}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Semanalmente} many {{weeks} Semana} other {{weeks} Semana}}","composer.mode.remote.connectToCloud":"Ligar Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Configurar um ambiente através do Codex web para ativar o envio de tarefas para a nuvem","composer.mode.remote.selectEnvironment":"Selecionar ambiente","composer.mode.remote.sendToCloud":"Enviar para nuvem","composer.mode.remote.setupViaWeb":"Configurar um ambiente através do Codex web","composer.mode.runInCloud":"Nuvem","composer.mode.runInCloudWithEnvironment":"Nuvem · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Trabalhar no ambiente da nuvem","composer.mode.segmentedToggle.local.tooltip":"Trabalhe no seu projeto local","composer.mode.segmentedToggle.worktree.tooltip":"Trabalhar numa worktree paralela","composer.mode.upgradeToPlus":"Atualizar para Plus","composer.mode.upgradeToPro":"Atualizar para Pro","composer.mode.workLocally":"Projeto local","composer.mode.workLocally.currentBranchFallback":"a sua ramificação","composer.mode.workLocally.tooltip":"Trabalhar em {branchName}","composer.mode.worktree":"Nova worktree","composer.mode.worktree.submoduleWarning":"Este repositório tem submódulos git. A criação da worktree pode falhar","composer.mode.worktree.tooltip":"Crie uma cópia do seu projeto local para trabalhar em simultâneo","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Mudar de modelo a meio da conversa irá degradar o desempenho.","composer.newChat.heading.browser":"O que devemos programar a seguir?","composer.permissionsDropdown.agentMode.tooltip.custom":"O Codex utiliza a permissão definida em config.toml","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"O Codex tem acesso total ao seu computador (risco elevado)","composer.permissionsDropdown.custom.label":"Personalizado (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personalizado (config.toml)","composer.permissionsDropdown.default.label":"Permissões predefinidas","composer.permissionsDropdown.default.optionLabel":"Permissões predefinidas","composer.permissionsDropdown.default.tooltip":"O Codex executa automaticamente comandos numa sandbox","composer.permissionsDropdown.disabled.requirements":"As permissões estão bloqueadas por requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Acesso completo desativado por requisitos.toml","composer.permissionsDropdown.fullAccess.label":"Acesso completo","composer.permissionsDropdown.fullAccess.optionLabel":"Acesso completo","composer.permissionsDropdown.trigger.tooltip":"Alterar permissões","composer.personalitySlashCommand.description.friendly":"Caloroso, colaborativo e prestável","composer.personalitySlashCommand.description.pragmatic":"Conciso, focado na tarefa e direto","composer.personalitySlashCommand.label.friendly":"Amigável","composer.personalitySlashCommand.label.pragmatic":"Pragmático","composer.personalitySlashCommand.notApplicableSuffix":"(Não se aplica ao modelo atual)","composer.personalitySlashCommand.title":"Personalidade","composer.placeholder.cloudFollowUp.directFollowUp":"Seguimento desta tarefa da nuvem","composer.placeholder.cloudFollowUp.local":"Crie uma nova tarefa local que faça referência a esta tarefa da nuvem.","composer.placeholder.cloudFollowUp.workingTree":"Crie uma nova tarefa da nuvem que inclua o seu código atual e faça referência a esta tarefa","composer.placeholder.localFollowUp.cloud":"Seguimento de uma nova tarefa da nuvem","composer.placeholder.localFollowUp.locally":"Solicitar alterações de seguimento","composer.placeholder.newTask.cloud":"Pedir ao Codex para fazer qualquer coisa na nuvem","composer.placeholder.newTask.doAnything":"Pedir ao Codex para fazer qualquer coisa","composer.placeholder.newTask.locally":"Pergunte tudo ao Codex, @ para adicionar ficheiros, / para comandos","composer.planModeDropdown":"Modo de plano","composer.planModeDropdown.ariaLabel":"Modo de plano","composer.planModeIndicator":"Plano","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Criar um plano com o Codex","composer.planModeIndicator.tooltipToggle":"para ativar/desativar","composer.planSlashCommand.disableDescription":"Desativar modo de plano","composer.planSlashCommand.enableDescription":"Ativar modo de plano","composer.planSlashCommand.title":"Modo de plano","composer.priorContext.label":"Contexto anterior","composer.priorContext.removeAriaLabel":"Remover o contexto anterior","composer.queuedMessage.delete":"Eliminar mensagem em fila","composer.queuedMessage.edit":"Editar mensagem","composer.queuedMessage.more":"Ações de mensagens em fila","composer.queuedMessage.sendNow":"Orientar","composer.queuedMessage.sendNowTooltip":"Enviar agora sem interromper o trabalho","composer.queuedMessage.turnOff":"Desligar colocação em fila","composer.reasoningEffort.local.reasoning.tooltip":"Selecionar esforço de raciocínio","composer.remote.branchStartingPoint":"Esta ramificação deve começar a partir de que tarefa?","composer.remote.branchesSectionHeading":"Ramificações","composer.remote.currentEditsSuffix.followUp":"Crie uma nova tarefa que faça referência a esta tarefa da nuvem.","composer.remote.currentEditsSuffix.useLocal":"com alterações de código local","composer.remote.directFollowUp":"Não usar alterações locais","composer.remote.errorLoadingBranches":"Erro ao carregar ramificações","composer.remote.fromBranch":"De {branch}","composer.remote.fromCurrentBranch":"A partir de {branch} (atual)","composer.remote.loadingMoreBranches":"A carregar...","composer.remote.localFileStateHeading":"Estado do ficheiro local","composer.remote.localWorkingTree":"Usar alterações locais","composer.remote.startingPoint":"Esta tarefa deve começar a partir de que código?","composer.reviewMode.branches.error":"Não foi possível carregar ramificações","composer.reviewMode.branches.retry":"Tentar novamente","composer.reviewMode.gitRoot.error":"Raiz de git não encontrada","composer.reviewMode.option.baseBranch.simple":"Rever em relação à ramificação de base","composer.reviewMode.option.unstaged.simple":"Rever alterações não submetidas","composer.reviewMode.quickReviewError":"Falha ao iniciar revisão do código.","composer.reviewMode.title":"Rever o código","composer.sandboxButton.unlock.disabled.tooltip":"Acesso completo desativado por requisitos.toml","composer.sandboxButton.windowsSandboxDialog.content":"O Codex pode usar um sandbox experimental no Windows para limitar o acesso ao sistema de ficheiros e à rede. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Ativar sandbox do Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Usar só de leitura","composer.searchEnvironments":"Procurar ambientes","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"A carregar capacidades...","composer.skillMentionList.noResults":"Não foram encontradas capacidades","composer.slashCommands.cloudEnvironment.title":"Ambiente da nuvem","composer.slashCommands.dialogLabel":"Menu de comandos com barra","composer.slashCommands.dialogTitle":"Comandos com barra","composer.slashCommands.disabledTooltip":"Iniciar uma nova conversa para usar comandos com barra","composer.slashCommands.inputPlaceholder":"Procurar","composer.slashCommands.noResults":"Sem comandos","composer.slashCommands.skillsGroup":"Capacidades","composer.slashCommands.tooltip":"Pesquisar comandos com barra","composer.status.close":"Fechar","composer.statusPlain.alertLabel":"Aviso:","composer.statusPlain.alertValue":"{remaining}% restante em {window}","composer.statusPlain.contextLabel":"Contexto:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} usado / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% restante","composer.statusPlain.heading":"Estado","composer.statusPlain.modelRateLimitSectionLabel":"Limite de {modelName}:","composer.statusPlain.rateLimitDays":"Limite de {count} d","composer.statusPlain.rateLimitFallbackLabel":"Limite de utilização:","composer.statusPlain.rateLimitHours":"Limite de {count} h","composer.statusPlain.rateLimitLabelBase":"Limite de utilização","composer.statusPlain.rateLimitMinutes":"Limite de {count} m","composer.statusPlain.rateLimitPercent":"{remaining}% restante","composer.statusPlain.rateLimitReset":"reposição em {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"tempo de reposição indisponível","composer.statusPlain.rateLimitUnavailable":"Indisponível","composer.statusPlain.sessionCopiedAriaLabel":"ID da sessão copiada","composer.statusPlain.sessionCopiedTooltip":"ID copiada","composer.statusPlain.sessionCopyAriaLabel":"Copiar ID da sessão","composer.statusPlain.sessionCopyTooltip":"Copiar ID","composer.statusPlain.sessionLabel":"Sessão:","composer.statusSlashCommand.description":"Mostrar ID de thread, utilização de contexto e limites de utilização","composer.statusSlashCommand.title":"Estado","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Não é possível enviar mensagem","composer.submit.emptyMessage":"Introduza uma mensagem para começar","composer.submit.imageInputsUnsupported":"Remova imagens ou mude de modelo para enviar esta mensagem.","composer.submit.loadingLocalConfig":"A carregar...","composer.submit.missingCloudConfig":"Tem de escolher um ambiente da nuvem","composer.submit.missingCloudTurn":"Não é possível seguir esta tarefa","composer.submit.noWorkspace":"Adicione um projeto para usar o Codex","composer.submit.waitForImageUploads":"Imagens a carregar…","composer.submitButtonTooltip.send":"Enviar","composer.submitButtonTooltip.stop":"Parar","composer.worktreeEnvironment.create":"Criar ambiente local","composer.worktreeEnvironment.default":"Ambiente predefinido","composer.worktreeEnvironment.error":"Erro ao carregar ambientes","composer.worktreeEnvironment.loading":"A carregar ambientes...","composer.worktreeEnvironment.title":"Ambiente local","composer.worktreeEnvironment.tooltip":"Selecionar um ambiente local","composer.worktreeSetupFailed":"Falha na configuração da worktree. Verifique .codex/environments para um script de configuração.","compoundButton.secondaryAction":"Ação secundária","copyButton.copied":"Copiado","copyButton.copiedAriaLabel":"Copiado","copyButton.copy":"Copiar","copyButton.copyAriaLabel":"Copiar","copyButton.copyCode":"Copiar código","diff.actionButton.revertFile":"Reverter ficheiro","diff.actionButton.revertHunk":"Reverter","diff.actionButton.revertSection":"Reverter tudo","diff.actionButton.revertSectionLabel":"Reverter tudo","diff.actionButton.stageFile":"Testar ficheiro","diff.actionButton.stageHunk":"Testar","diff.actionButton.stageSection":"Testar tudo","diff.actionButton.stageSectionLabel":"Testar tudo","diff.actionButton.unstageFile":"Não testar ficheiro","diff.actionButton.unstageHunk":"Não testar","diff.actionButton.unstageSection":"Não testar tudo","diff.actionButton.unstageSectionLabel":"Não testar tudo","diff.fileHeader.toggle":"Alternar diferenças de ficheiros","electron.onboarding.login.apikey.cancel":"Cancelar","electron.onboarding.login.apikey.continue":"Continuar","electron.onboarding.login.apikey.label":"Chave API OpenAI","electron.onboarding.login.apikey.open":"Introduzir chave API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Cancelar início de sessão","electron.onboarding.login.chatgpt.continue":"Continuar com ChatGPT","electron.onboarding.login.devbox":"Ligar a um SSH remoto","electron.onboarding.login.error":"Início de sessão falhou: {rawMessage}","electron.onboarding.login.snake.start":"Reproduzir Snake","electron.onboarding.login.sshConfig.cancel":"Cancelar","electron.onboarding.login.sshConfig.continue":"Continuar","electron.onboarding.login.sshConfig.hostnameLabel":"Nome do anfitrião SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"A melhor forma de criar com agentes","electron.onboarding.login.title":"Damos-lhe as boas-vindas ao Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuar","electron.onboarding.welcome.doubleLimits.description":"Para celebrar o lançamento da app Codex, até 2 de abril dispõe do dobro dos limites de utilização.","electron.onboarding.welcome.freego.description":"O Codex está incluído gratuitamente no seu plano até 2 de março – vamos começar a criar juntos.","electron.onboarding.welcome.new.title.anon":"Damos-lhe as boas-vindas!","electron.onboarding.workspace.continue":"Continuar","electron.onboarding.workspace.empty":"Adicione um projeto para continuar.","electron.onboarding.workspace.listLabel":"Projetos disponíveis","electron.onboarding.workspace.loading":"A carregar projetos…","electron.onboarding.workspace.openFolder":"Adicionar projeto","electron.onboarding.workspace.selectAll":"Selecionar tudo","electron.onboarding.workspace.skip":"Saltar","electron.onboarding.workspace.skip.error":"Não foi possível criar um novo projeto: {message}","electron.onboarding.workspace.skip.error.unknown":"Erro desconhecido","electron.onboarding.workspace.skipping":"A criar um um novo projeto…","electron.onboarding.workspace.subtitle":"O Codex poderá editar ficheiros e executar comandos em pastas selecionadas.","electron.onboarding.workspace.title":"Selecionar um projeto","errorPage.list.checkSettings":"Tente atualizar as suas definições de IDE","errorPage.list.configToml":"Verifique config.toml quanto a definições inválidas","errorPage.list.downloadExtension":"Tente transferir uma versão diferente da extensão","errorPage.list.runInWsl":"Verifique as suas definições para desativar a execução em WSL se estiver a ter problemas de compatibilidade","execApprovalRequest.menu.runAlways":"Sim, e não pedir novamente esta sessão","execApprovalRequest.menu.runAlwaysWithAmendment":"Sim, e não perguntar novamente para comandos que começam com {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Sim, e não perguntar novamente para comandos que começam com","execApprovalRequest.menu.runOnce":"Sim","execApprovalRequest.prompt":"Pretende executar este comando?","execApprovalRequest.reject":"Não","execFooter.exitCode":"Sair do código {code}","execFooter.exitCode.unknown":"desconhecido","execFooter.success":"Sucesso","feedback.dialog.category.badResult":"Mau resultado","feedback.dialog.category.bug":"Erro","feedback.dialog.category.goodResult":"Bom resultado","feedback.dialog.category.other":"Outros","feedback.dialog.descriptionPlaceholder":"Descreva o problema aqui","feedback.dialog.dismiss":"Descartar","feedback.dialog.includeLogsLabel":"Incluir os registos de sessão atuais do Codex","feedback.dialog.submit":"Submeter","feedback.dialog.submitError":"Não foi possível submeter o seu feedback. Tente novamente dentro de momentos.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"problema aberto existente","feedback.dialog.uploadedMessage.openIssue":"abrir um problema no GitHub","feedback.dialog.uploadedMessage.withThread":"Feedback carregado. Se o problema persistir, {openIssueLink} ou mencione a ID do thread em {existingIssueLink}:","feedback.dialog.uploadedTitle":"Feedback carregado","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Retirar {filename}","header.back":"Voltar","header.recentChats":"Tarefas","header.recentTasks.seeAll":"Ver todos ({total})","home.header.getPlus":"Obter Plus","home.hero.letsBuild":"Vamos criar","homePage.mainContent":"Conteúdo principal","imageAttachment.defaultName":"imagem","imageAttachment.preview.close":"Fechar pré-visualização da imagem","imageAttachment.removeAriaLabel":"Retirar {filename}","implementPlanRequest.option.implement":"Sim, implementar este plano","implementPlanRequest.prompt":"Implementar este plano?","inbox.archived.deleteError":"Não foi possível eliminar a execução arquivada","inbox.archived.deleteRun":"Eliminar execução arquivada","inbox.archived.deleteSuccess":"Thread arquivada eliminada. Veja em <settingsLink>Threads arquivadas</settingsLink>.","inbox.archived.inlineLabel.auto":"Esta thread foi arquivada automaticamente. <learnMoreLink>Saber mais</learnMoreLink>","inbox.archived.inlineLabel.manual":"Esta thread foi arquivada.","inbox.archived.noMessageFound":"Nenhuma mensagem encontrada","inbox.automations.createError":"Não foi possível criar automação","inbox.automations.deleteConfirm.cancel":"Cancelar","inbox.automations.deleteConfirm.confirm":"Eliminar automação","inbox.automations.deleteConfirm.description":"Isto irá eliminar permanentemente a automação e parar futuras execuções.","inbox.automations.deleteConfirm.title":"Eliminar {name}?","inbox.automations.deleteError":"Não foi possível eliminar automação","inbox.automations.editTooltip":"Editar automação","inbox.automations.inProgress":"Em curso","inbox.automations.new":"Novo","inbox.automations.newToolbar":"Nova automação","inbox.automations.pauseTooltip":"Pausar automação","inbox.automations.resumeTooltip":"Retomar automação","inbox.automations.startingNow":"A iniciar agora","inbox.automations.startsIn":"Começa em {startTime}","inbox.automations.status.active":"Ativo","inbox.automations.status.paused":"Pausadas","inbox.automations.status.runs":"{count} execuções","inbox.automations.status.started":"Iniciada em {date}","inbox.automations.updateError":"Não foi possível atualizar a automação","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Todos","inbox.filter.ariaLabel":"Filtrar itens da caixa de entrada","inbox.filter.unread":"Não lidas","inbox.list.archived":"Arquivado","inbox.list.inProgress":"Em curso","inbox.list.recent":"Concluídas","inbox.list.upNext":"Agendado","inbox.mode.automations":"Automatizações","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Sem descrição fornecida","inbox.openThread":"Abrir thread","inbox.rightPanel.emptySubtitle":"Automatize o trabalho configurando tarefas agendadas","inbox.rightPanel.emptySubtitle.learnMore":"Automatize o trabalho configurando threads agendadas. <link>Saber mais</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automação ativa} many {# automações ativas} other {# automações ativas}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Sem automações não lidas","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automação não lida} many {# automações não lidas} other {# automações não lidas}}","inbox.rightPanel.emptyTitle":"Nenhum item selecionado","inbox.rightPanel.noThread":"Sem thread para este item","inbox.rightPanel.quickStart.header":"Começar com um modelo","inbox.untitled":"Item na caixa de entrada sem título","loadingPage.documentationLink":"documentação","loadingPage.errorDescription":"O Codex falhou com o seguinte erro:","loadingPage.errorDescription.documentation":"Clique em recarregar para reiniciar a extensão do Codex ou visite a nossa {documentationLink} para obter ajuda.","loadingPage.errorSignal":"Algumas ações a tentar:","loadingPage.errorTitle":"Ocorreu um erro","loadingPage.openConfigToml":"Abrir Config.toml","loadingPage.reload":"Recarregar","localConversation.contextCompacted":"O contexto foi automaticamente compactado","localConversation.contextCompacting":"A compactar automaticamente o contexto","localConversation.forkedFromConversation":"Dividido de {threadTitle}","localConversation.merge.autoResolve.failed":"Falha ao solicitar resolução automática: {error}","localConversation.merge.autoResolve.sent":"Pedido de resolução automática enviado","localConversation.merge.autoResolveMerge.missingConversation":"Não é possível resolver automaticamente sem uma conversa ativa.","localConversation.merge.autoResolveMerge.request":"Resolver automaticamente os conflitos de combinação","localConversation.modelChanged":"Modelo mudado de {fromModel} para {toModel}.","localConversation.modelChanged.warning.line1":"Mudar de modelo a meio da conversa irá degradar o desempenho.","localConversation.modelChanged.warning.line2":"O contexto poderá ser automaticamente compactado.","localConversation.moveThread.createBranch.label":"Criar ramificação","localConversation.moveToLocal.disabled.loading":"A carregar...","localConversation.moveToLocal.modal.continue":"Continuar","localConversation.moveToLocal.modal.destinationLabel":"Mover para","localConversation.moveToLocal.modal.retry":"Tentar novamente","localConversation.moveToWorktree.modal.back":"Voltar","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"A ramificação já existe.","localConversation.moveToWorktree.modal.branchesError":"Não foi possível carregar ramificações","localConversation.moveToWorktree.modal.branchesLoading":"A carregar ramificações…","localConversation.moveToWorktree.modal.branchesRetry":"Tentar novamente","localConversation.moveToWorktree.modal.continue":"Continuar","localConversation.moveToWorktree.modal.retry":"Tentar novamente","localConversation.moveToWorktree.modal.trailingSlashError":"O nome da ramificação não pode terminar com “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nova-ramificação","localConversation.personalityChanged":"Mudou para a personalidade {personality}","localConversation.planSummary.collapse":"Reduzir o resumo do plano","localConversation.planSummary.collapseTooltip":"Reduzir","localConversation.planSummary.download":"Transferir plano","localConversation.planSummary.expand":"Expandir o resumo do plano","localConversation.planSummary.expandTooltip":"Expandir","localConversation.planSummary.openInNewWindow":"Aberto","localConversation.planSummary.openInNewWindow.tooltip":"Abrir em nova janela","localConversation.planSummary.title":"Plano","localConversation.planSummary.titleWriting":"Plano de escrita","localConversation.planSummary.viewPlan":"Expandir plano","localConversation.remoteTaskCreated":"Criou {taskLink} no Codex Cloud","localConversation.remoteTaskCreated.task":"tarefa","localConversation.scrollToBottomButton":"Deslocar para o fundo","localConversation.sync.buttonLabel":"Transferir para local","localConversation.sync.buttonLabel.tooltip":"Transfira as alterações entre esta worktree e o checkout local.","localConversation.sync.modal.loading.title":"A transferir alterações…","localConversation.sync.modal.noChanges":"Sem alterações","localConversation.syncSetup.branchAriaLabel":"Nome da ramificação","localConversation.syncSetup.branchName":"Nome da ramificação","localConversation.syncSetup.branchPlaceholder.existing":"Selecionar ramificação existente","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"A carregar ramificações…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Já verificada","localConversation.syncSetup.checkoutClean":"Atualmente em {branchName}","localConversation.syncSetup.checkoutDirty":"Atualmente em {branchName} com alterações não submetidas","localConversation.syncSetup.checkoutError":"Falha ao verificar a ramificação: {message}","localConversation.syncSetup.checkoutLabel":"Verificar localmente agora","localConversation.syncSetup.checkoutOnLocal":"Transferir para local","localConversation.syncSetup.checkoutPending":"A verificar o estado local…","localConversation.syncSetup.checkoutUnavailable":"Área de trabalho local não disponível","localConversation.syncSetup.checkoutUnknown":"Ramificação local não disponível","localConversation.syncSetup.continue":"Continuar","localConversation.syncSetup.createBranchError":"Falha ao definir a ramificação de transferência: {message}","localConversation.syncSetup.error":"Algo correu mal: {message}","localConversation.syncSetup.error.workingTreeMissing":"Não foi possível criar uma captura da worktree. Tente novamente a transferência.","localConversation.syncSetup.mode.ariaLabel":"Selecionar modo de ramificação","localConversation.syncSetup.mode.existing":"Ramificação existente","localConversation.syncSetup.mode.new":"Nova ramificação","localConversation.syncSetup.noBranches":"Nenhuma ramificação encontrada","localConversation.syncSetup.overwriteError":"A ramificação foi criada, mas não foi totalmente transferida. Transfira manualmente antes de selecionar localmente.","localConversation.syncSetup.setPrefix":"Definir prefixo","localConversation.syncSetup.subtitle":"Testar e editar alterações desta worktree localmente. <a>Saber mais</a>","localConversation.syncSetup.success.checkedOut":"A ramificação foi criada e selecionada localmente","localConversation.syncSetup.success.notCheckedOut":"Ramificação criada","localConversation.syncSetup.title":"Transferir para uma ramificação local","localConversation.syncWorktreeError.branchAriaLabel":"Nome da ramificação","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Escolha uma ramificação para transferir e volte a tentar carregar as alterações.","localConversation.syncWorktreeError.branchSetup.title":"Atualizar ramificação","localConversation.syncWorktreeError.branchUpdate.cta":"Atualizar e tentar novamente","localConversation.syncWorktreeError.branchUpdate.error":"Falha ao atualizar a ramificação: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Algo correu mal: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"A ramificação não foi verificada em qualquer worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Aplicar","localConversation.syncWorktreeV2.applyUncommitted.disabled":"É necessário verificar a ramificação localmente para aplicar alterações não submetidas","localConversation.syncWorktreeV2.branches.empty":"Nenhuma ramificação encontrada","localConversation.syncWorktreeV2.branches.loading":"A carregar ramificações…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Alterar ramificação de transferência","localConversation.syncWorktreeV2.changeBranch.error":"Falha ao alterar a ramificação de transferência: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Falha ao aplicar","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Falha ao substituir a worktree","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Falha ao substituir localmente","localConversation.syncWorktreeV2.commandError.back":"Voltar","localConversation.syncWorktreeV2.commandError.body":"Um comando git falhou durante a transferência. Reveja o resultado e tente novamente.","localConversation.syncWorktreeV2.commandError.retry":"Tentar novamente","localConversation.syncWorktreeV2.description":"Transferir alterações entre o ambiente local e esta worktree. <a>Saber mais</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"Selecionar direção da transferência","localConversation.syncWorktreeV2.error.generic":"Algo correu mal ao transferir. Tente novamente.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"A calcular alterações","localConversation.syncWorktreeV2.noChanges.summary":"Sem alterações","localConversation.syncWorktreeV2.overwrite.local":"Substituir localmente","localConversation.syncWorktreeV2.overwrite.worktree":"Substituir worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Não foi possível aplicar alterações","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Não foi possível substituir alterações locais","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Não foi possível substituir alterações da worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Aplicado","localConversation.syncWorktreeV2.partial.back":"Voltar","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resolva os conflitos e tente novamente.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflitos","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}}","localConversation.syncWorktreeV2.partial.retry":"Tentar novamente","localConversation.syncWorktreeV2.partial.skippedLabel":"Avançado","localConversation.syncWorktreeV2.stateFailed.generic":"Ocorreu um erro ao obter as alterações da worktree para transferência. Tente novamente.","localConversation.syncWorktreeV2.stateFailed.title":"Falha ao carregar alterações da worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Falha ao carregar alterações da worktree.","localConversation.syncWorktreeV2.statusError.retry":"Tentar novamente","localConversation.syncWorktreeV2.statusError.title":"Não foi possível carregar as alterações da ramificação local","localConversation.syncWorktreeV2.statusError.unknown":"O estado da ramificação não está disponível. Tente novamente.","localConversation.syncWorktreeV2.success.apply":"Alterações aplicadas com sucesso","localConversation.syncWorktreeV2.success.overwrite":"Transferência bem sucedida","localConversation.syncWorktreeV2.title":"Transferir alterações","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"A perguntar {count, plural, one {questão} many {questões} other {questões}}","localConversation.userInputRequest.noAnswer":"Sem resposta fornecida","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Perguntado","localConversation.userInputRequest.summary.count":"{count, plural, one {# questão} many {# questões} other {# questões}}","localConversation.workedFor":"Trabalhei durante {time}","localConversation.worktreeBranchSetup.action.create":"Criar","localConversation.worktreeBranchSetup.branchAriaLabel":"Nome da ramificação","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Crie uma nova ramificação","localConversation.worktreeBranchSetup.checkoutDisabled":"Esta ramificação já se encontra selecionada em {location}","localConversation.worktreeBranchSetup.checkoutError":"Falha ao verificar a ramificação: {message}","localConversation.worktreeBranchSetup.createBranchError":"Falha ao definir ramificação: {message}","localConversation.worktreeBranchSetup.error":"Algo correu mal: {message}","localConversation.worktreeBranchSetup.subtitle":"Crie uma ramificação para fazer commit das alterações, push e criar um PR a partir desta worktree. <a>Saiba mais</a>","localConversation.worktreeBranchSetup.title":"Trabalhe aqui","localConversationPage.addWorktreeToSidebar.tooltip":"Guardar como projeto para poder iniciar novas threads a partir desta worktree","localConversationPage.addWorktreeToSidebarError":"Falha ao adicionar projeto","localConversationPage.commitAndCreatePrModal.errorTitle":"Falha ao fazer commit e criar PR","localConversationPage.commitAndCreatePrModal.successTitle":"Commit feito e PR criado","localConversationPage.commitAndPushModal.errorTitle":"Falha ao fazer commit e push","localConversationPage.commitAndPushModal.successTitle":"Alterações sujeitas a commit e push","localConversationPage.commitCreatePr.open":"Abrir pedido pull","localConversationPage.commitCreatePr.successTitle":"PR criado com as suas alterações mais recentes","localConversationPage.createBranchButtonLabel":"Ramificação aqui","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Criar PR","localConversationPage.createPrModal.createDescription":"Abra um pedido pull para as suas alterações mais recentes.","localConversationPage.createPrModal.errorTitle":"O pedido pull falhou","localConversationPage.createPrModal.headBranch":"Cabeça","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Abrir PR","localConversationPage.createPrModal.successTitle":"Pedido pull criado","localConversationPage.createPrModal.title":"Criar pedido pull","localConversationPage.createPrModal.viewDescription":"Já existe um pedido pull para esta ramificação.","localConversationPage.createPrModal.viewTitle":"Pedido pull pronto","localConversationPage.createPullRequestAuthGh":"Autenticar CLI do GitHub: run `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informação da ramificação indisponível","localConversationPage.createPullRequestButtonLabel":"Criar PR","localConversationPage.createPullRequestButtonLabel.loading":"A criar PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Informação da ramificação predefinida indisponível","localConversationPage.createPullRequestError":"Falha ao criar pedido pull","localConversationPage.createPullRequestExistingPullRequest":"Já existe um pedido pull para esta ramificação","localConversationPage.createPullRequestGhStatusMissing":"A carregar estado do CLI do GitHub…","localConversationPage.createPullRequestInstallGh":"Instalar o CLI do GitHub (gh) para criar PRs","localConversationPage.createPullRequestNoRepo":"Não foi encontrado um repositório Git","localConversationPage.createPullRequestPushStatusMissing":"A carregar estado push…","localConversationPage.createPullRequestSetUpstream":"Faça push desta ramificação antes de criar um PR","localConversationPage.createPullRequestSuccessToast":"Pedido pull criado","localConversationPage.createPullRequestSwitchBranch":"Termine uma ramificação antes de criar um PR","localConversationPage.error.render":"Erro na renderização da conversa local","localConversationPage.error.toast":"Conversa não encontrada","localConversationPage.forcePushError":"Falha ao forçar push","localConversationPage.generatePullRequestMessageError":"Falha ao criar título e corpo de pedido pull","localConversationPage.generatePullRequestMessageFailed":"Falha ao criar título e corpo de pedido pull.","localConversationPage.gitActionResult.branch":"Ramificação","localConversationPage.gitActionResult.cancel":"Cancelar","localConversationPage.gitActionResult.close":"Fechar","localConversationPage.gitActionResult.tryAgain":"Tentar novamente","localConversationPage.gitActions":"Ações Git","localConversationPage.newChat":"Novo chat","localConversationPage.openInTarget":"Abrir em","localConversationPage.openPrimaryTarget":"Aberto","localConversationPage.planItemsCompleted":"{completedItems} de {totalItems, plural, one {# tarefa concluída} many {# tarefas concluídas} other {# tarefas concluídas}}","localConversationPage.pushAuthError":"Push falhou: autenticação necessária","localConversationPage.pushBranchMissing":"Informação da ramificação indisponível","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"A efetuar push…","localConversationPage.pushError":"Falha ao fazer push das alterações","localConversationPage.pushModal.branchLabel":"Ramificação","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Cancelar","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Faça push dos seus commits mais recentes para o repositório remoto.","localConversationPage.pushModal.errorTitle":"Push falhou","localConversationPage.pushModal.forcePush":"Forçar push","localConversationPage.pushModal.successTitle":"Push concluído","localConversationPage.pushModal.title":"Fazer push das alterações","localConversationPage.pushModal.tryAgain":"Tentar novamente","localConversationPage.pushNoUpstream":"Defina um upstream antes de fazer push desta ramificação","localConversationPage.pushNoUpstreamError":"Push falhou: nenhum upstream configurado","localConversationPage.pushNothingToPush":"Não existem novos commits para fazer push","localConversationPage.pushRemoteChangedError":"Push falhou: remoto tem novos commits","localConversationPage.pushRemoteRejectedError":"Push rejeitado por remoto","localConversationPage.pushStatusMissing":"A carregar estado push…","localConversationPage.pushSuccessToast":"Alterações sujeitas a push","localConversationPage.viewPullRequestButtonLabel":"Ver PR","localConversationPage.viewPullRequestButtonLabel.loading":"A carregar pedido pull…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} many {# listas} other {# listas}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# pesquisa} many {# pesquisas} other {# pesquisas}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Explorar","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Explorou","localConversationTurn.exploration.accordion.header.complete.withCounts":"Explorou {counts}","localConversationTurnStory.showContent":"Mostrar conteúdo","localConversationTurnStory.streamContent":"Transmitir conteúdo","localConversationTurnStory.toggleReasoning":"Mostrar raciocínio","localTaskRow.archiveError":"Falha ao arquivar conversa","localTaskRow.resumeError":"Falha ao retomar tarefa","mermaidDiagram.ariaLabel":"Diagrama Mermaid","mermaidDiagram.copySource":"Copiar mermaid","mermaidDiagram.originalCode":"Código-fonte Mermaid","notifications.permissions.description":"Mostrar alertas quando são necessárias permissões de notificação","notifications.permissions.label":"Ativar notificações de permissão","notifications.turnMode.always":"Sempre","notifications.turnMode.description":"Definir quando o Codex avisa de que terminou","notifications.turnMode.label":"Notificações de conclusão de execução","notifications.turnMode.off":"Nunca","notifications.turnMode.unfocused":"Apenas quando não focado","patchApprovalRequest.approve":"Aprovar","patchApprovalRequest.menu.allowAlways":"Sim, e não pedir novamente esta sessão","patchApprovalRequest.menu.allowForSession":"Sim, e não pedir novamente esta sessão","patchApprovalRequest.menu.allowOnce":"Sim","patchApprovalRequest.prompt":"Pretende efetuar estas alterações?","patchApprovalRequest.reject":"Não","patchApprovalRequest.waitingForApproval":"A aguardar aprovação para editar ficheiros","pendingRequest.approvalExec.collapse":"Reduzir","pendingRequest.approvalExec.expand":"Expandir","pendingRequestStory.toastAnswer":"Responder: {answer}","pendingRequestStory.toastApprovalTitle":"Resposta de aprovação","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Seguimento enviado","pendingRequestStory.toastNoAnswers":"Sem respostas fornecidas","pendingRequestStory.toastQuestion":"Questão: {question}","pendingRequestStory.toastUnknownDecision":"Desconhecido","pendingRequestStory.toastUserInputTitle":"Respostas submetidas","quickAction.request.codeReview.branches.new":"Revê as alterações em {from} relativamente a {to}","quickAction.request.codeReview.uncommitted.new":"Revê as minhas alterações não submetidas","reasoningItem.thinking":"A pensar","reasoningItem.thought":"Pensei","reasoningItem.thoughtWithElapsed":"Pensado para {elapsed}","recentConversations.title":"Conversas recentes","recentTasks.worktreeInitFailedTitle":"O início da worktree falhou","recentTasks.worktreeSettingUpTitle":"A configurar worktree","requestInputPanel.continue":"Continuar","requestInputPanel.dismiss":"Descartar","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Digite aqui","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Não, e diga ao Codex o que fazer de forma diferente","requestInputPanel.selectedBadge":"Selecionado","requestInputPanel.skip":"Saltar","requestInputPanel.submit":"Submeter","review.commit.ariaLabel.includeUnstaged":"Incluir não testadas","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"A fazer commit...","review.commit.disabled.loadingDiff":"A carregar diferenças…","review.commit.disabled.missingContext":"Adicione contexto para gerar uma mensagem do commit","review.commit.disabled.noChanges":"Sem alterações para fazer commit","review.commit.disabled.noSelection":"Selecionar alterações para fazer commit","review.commit.disabled.unavailable":"Commit indisponível neste momento","review.commit.error":"Falha ao submeter alterações","review.commit.form.changesToBeCommitted":"Alterações","review.commit.form.commitTo":"Ramificação","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuar","review.commit.form.title":"Faça commit das suas alterações","review.commit.generate.emptyResponse":"Não foi possível gerar uma mensagem do commit.","review.commit.generate.failed":"Falha ao gerar mensagem do commit: {error}","review.commit.generate.missingPrompt":"Adicione contexto para gerar uma mensagem do commit.","review.commit.includeUnstaged":"Incluir não testadas","review.commit.loading.description":"Aguarde, isto pode demorar alguns momentos…","review.commit.loading.step.commit.done":"Alterações submetidas","review.commit.loading.step.commit.pending":"A aplicar alterações","review.commit.loading.step.createPr.done":"Pedido pull criado","review.commit.loading.step.createPr.pending":"A criar pedido pull","review.commit.loading.step.push.done":"Push efetuado para ramificação {branch}","review.commit.loading.step.push.pending":"A efetuar push para ramificação {branch}","review.commit.loading.title.commit":"A aplicar alterações","review.commit.loading.title.createPr":"A criar PR","review.commit.loading.title.push":"A efetuar push de alterações","review.commit.messageLabel":"Mensagem do commit","review.commit.messagePlaceholder":"Deixe em branco para gerar automaticamente uma mensagem de commit","review.commit.nextSteps":"Próximos passos","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Fazer commit e criar PR","review.commit.nextSteps.commitAndPush":"Fazer commit e push","review.commit.nextSteps.prRequiresGh":"Requer CLI do GitHub: {command}","review.commit.rows.changes":"Alterações","review.commit.rows.commitCount":"{count, plural, one {# commit} many {# commits} other {# commits}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} many {# commits} other {# commits}} e {stats}","review.commit.rows.fileCount":"{count, plural, one {# ficheiro} many {# ficheiros} other {# ficheiros}}","review.commit.state.error.body":"Algo correu mal ao fazer commit. Verifique o seu estado git e tente novamente.","review.commit.state.error.title":"Falha ao fazer commit","review.commit.state.success.title":"Alterações submetidas","review.commit.untracked.loadingStats":"A carregar estatísticas de diferenças não rastreadas…","reviewFindingAttachments.count":"{count, plural, one {# resultado} many {# resultados} other {# resultados}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Edite a sua configuração para personalizar o comportamento do agente","settings.agent.configuration.configToml.docs":"Documentos","settings.agent.configuration.configToml.restartNote":"Para aplicar as alterações, reiniciar o Codex após editar","settings.agent.configuration.subtitle":"Estas definições aplicam-se em qualquer lugar onde o Codex é usado","settings.automations.banner.danger":"As automações são executadas com as definições de sandbox predefinidas, atualmente definidas como Acesso total. Executar automações em segundo plano com Acesso total implica um risco acrescido, uma vez que o Codex pode modificar ficheiros, executar comandos e aceder à rede sem pedir confirmação. Considere atualizar as definições da sandbox para escrita na área de trabalho e utilizar <rulesDocsLink>regras</rulesDocsLink> para definir seletivamente que comandos o agente pode executar com acesso total.","settings.automations.banner.defaultHowTo.default":"As automações são executadas com as definições de sandbox predefinidas. As chamadas a ferramentas falharão se exigirem modificar ficheiros fora da área de trabalho, aceder à rede ou trabalhar com apps no seu computador. Pode permitir seletivamente comandos fora da sandbox através de <rulesDocsLink>regras</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"As automações são executadas com as definições de sandbox predefinidas, definidas como só de leitura. As chamadas a ferramentas falharão se exigirem modificar ficheiros, aceder à rede ou trabalhar com apps no seu computador. Considere atualizar as definições da sandbox para escrita na área de trabalho.","settings.automations.cancel":"Cancelar","settings.automations.create":"Criar","settings.automations.cwdEmpty":"Nenhuma pasta de projeto disponível","settings.automations.cwdLabel":"Projetos","settings.automations.cwdPlaceholder":"Escolher uma pasta","settings.automations.cwdSubtitle":"Se quiser que uma automação seja executada numa ramificação específica, pode indicá-la no seu prompt.","settings.automations.delete":"Eliminar","settings.automations.dialog.editTitle":"Editar automação","settings.automations.dialog.newTitle":"Nova automação","settings.automations.dialog.subtitle":"Automatize tarefas recorrentes em segundo plano. O Codex adiciona resultados à caixa de entrada ou arquiva automaticamente a tarefa se não houver nada a reportar. <learnMoreLink>Saber mais</learnMoreLink>","settings.automations.dialog.title":"Criar automação","settings.automations.executionCopy.git":"As automações são executadas em segundo plano em worktrees dedicadas.","settings.automations.executionCopy.nonGit":"As automações em projetos sem controlo de versões são executadas diretamente no diretório do projeto. Considere utilizar Git para permitir a execução em worktrees de segundo plano.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"A carregar…","settings.automations.nameLabel":"Nome","settings.automations.namePlaceholder":"Verificar problemas de Sentry","settings.automations.pause":"Pausar","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"procurar falhas em $Sentry","settings.automations.resume":"Retomar","settings.automations.rruleSummaryFallback":"Agendamento personalizado","settings.automations.runNow":"Testar","settings.automations.save":"Guardar","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"Dias da semana","settings.automations.scheduleBadge.weekends":"Fins de semana","settings.automations.scheduleHeader":"Agenda","settings.automations.scheduleHours":"horas","settings.automations.scheduleLabel":"Executar a cada","settings.automations.scheduleMode.daily":"Diariamente","settings.automations.scheduleMode.interval":"Intervalo","settings.automations.scheduleModeLabel":"Tipo de agendamento","settings.automations.scheduleSummary.daily":"Diariamente às {time}","settings.automations.scheduleSummary.interval":"A cada {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dia} many {# dias} other {# dias}}","settings.automations.scheduleSummary.intervalDays":"{interval} a {days}","settings.automations.scheduleSummary.intervalHourly":"De hora a hora","settings.automations.scheduleSummary.singleDay":"{day} às {time}","settings.automations.scheduleSummary.weekdays":"Dias da semana às {time}","settings.automations.scheduleSummary.weekdaysLabel":"dias da semana","settings.automations.scheduleSummary.weekends":"Fins de semana às {time}","settings.automations.scheduleSummary.weekendsLabel":"fins de semana","settings.automations.scheduleSummary.weekly":"{days} às {time}","settings.automations.scheduleWeekdays":"Ligar","settings.automations.weekdayState.excluded":"Excluído","settings.automations.weekdayState.included":"Incluído","settings.conversationDetail.steps":"Passos","settings.conversationDetail.steps.description":"Ocultar comandos e resultados","settings.conversationDetail.stepsWithCommands":"Passos com comandos de código","settings.conversationDetail.stepsWithCommands.description":"Mostrar comandos, reduzir resultado","settings.conversationDetail.stepsWithOutput":"Passos com resultado de código","settings.conversationDetail.stepsWithOutput.description":"Mostrar comandos e expandir resultado","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Sem chats arquivados.","settings.dataControls.archivedChats.error":"Não foi possível carregar os chats arquivados.","settings.dataControls.archivedChats.loading":"A carregar chats arquivados…","settings.dataControls.archivedChats.unarchive":"Desarquivar","settings.dataControls.archivedChats.unarchiveError":"Falha ao desarquivar chat","settings.dataControls.archivedChats.unarchiveSuccess":"Thread desarquivada. <viewNowLink>Ver agora</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Thread desarquivada.","settings.dataControls.archivedChats.untitled":"Chat sem título","settings.dataControls.archivedChats.viewNow":"Ver agora","settings.editRow.headerPlaceholder":"Chave","settings.editRow.removeEntry":"Retirar entrada","settings.editRow.valuePlaceholder":"Valor","settings.general.appearance":"Aspeto","settings.general.appearance.codeFont":"Letra do código","settings.general.appearance.codeFont.description":"Ajuste o tipo e o tamanho de letra de código usado nos chats e diferenças","settings.general.appearance.codeFontFamily":"Família do tipo de letra do código","settings.general.appearance.codeFontSize":"Tamanho de letra do código","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Fazer com que as janelas utilizem um fundo sólido em vez da translucidez do sistema","settings.general.appearance.opaqueWindows.label":"Utilizar fundo de janela opaco","settings.general.appearance.sansFontFamily":"Família do tipo de letra Sans","settings.general.appearance.sansFontFamily.description":"Ajustar o tipo de letra usado para a IU Codex","settings.general.appearance.sansFontSize":"Tamanho de letra Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Mostrar efeitos de celebração em janela completa enquanto o GPT-5.3-Codex-Spark é executado pela primeira vez","settings.general.appearance.sparkCelebrationEffects.label":"Efeitos de celebração com faíscas","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Escuro","settings.general.appearance.theme.description":"Use claro, escuro ou adaptado ao seu sistema","settings.general.appearance.theme.light":"Claro","settings.general.appearance.theme.system":"Sistema","settings.general.appearance.usePointerCursors.description":"Altere o cursor para um ponteiro ao passar sobre elementos interativos","settings.general.appearance.usePointerCursors.label":"Utilizar cursores de ponteiro","settings.general.enterBehavior.description":"Quando ativados, os prompts com várias linhas requerem {modifierSymbol} + enter para enviar.","settings.general.enterBehavior.label":"Requerer {modifierSymbol} + enter para enviar prompts longos","settings.general.experimentalFeatures":"Funcionalidades experimentais (beta)","settings.general.experimentalFeatures.empty":"Nenhuma funcionalidade experimental beta disponível.","settings.general.experimentalFeatures.loading":"A carregar funcionalidades experimentais…","settings.general.experimentalFeatures.restartNote":"Reinicie o Codex para aplicar as alterações à funcionalidade experimental","settings.general.experimentalFeatures.toggle":"Alternar {featureName}","settings.general.followUpQueueMode.description":"Colocar perguntas de seguimento enquanto o Codex executa ou orienta a execução. Prima {invertFollowUpShortcutLabel} para fazer o oposto numa mensagem.","settings.general.followUpQueueMode.interrupt":"Orientar","settings.general.followUpQueueMode.label":"Comportamento de seguimento","settings.general.followUpQueueMode.queue":"Fila","settings.general.notifications":"Notificações","settings.general.power.preventSleepWhileRunning.description":"Mantenha o computador ativo enquanto o Codex está a executar um thread.","settings.general.power.preventSleepWhileRunning.label":"Impedir a suspensão durante a execução","settings.git.branchPrefix.ariaLabel":"Prefixo da ramificação","settings.git.branchPrefix.description":"Prefixo utilizado ao criar novas ramificações no Codex","settings.git.branchPrefix.label":"Prefixo da ramificação","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Falha ao guardar prefixo da ramificação","settings.git.branchPrefix.save.success":"Prefixo da ramificação guardado","settings.git.commitInstructions.ariaLabel":"Instruções do commit","settings.git.commitInstructions.description":"Adicionado aos prompts de geração de mensagem do commit","settings.git.commitInstructions.label":"Instruções do commit","settings.git.commitInstructions.placeholder":"Adicionar orientação para mensagem do commit…","settings.git.commitInstructions.save":"Guardar","settings.git.commitInstructions.save.error":"Falha ao guardar instruções do commit","settings.git.commitInstructions.save.success":"Instruções do commit guardadas","settings.git.forcePush.ariaLabel":"Forçar sempre push","settings.git.forcePush.description":"Usar --force-with-lease ao fazer push a partir do Codex","settings.git.forcePush.label":"Forçar sempre push","settings.git.forcePush.save.disabled":"Forçar sempre push desativado","settings.git.forcePush.save.enabled":"Forçar sempre push ativado","settings.git.forcePush.save.error":"Falha ao guardar definição para forçar push","settings.git.prInstructions.ariaLabel":"Instruções do pedido pull","settings.git.prInstructions.description":"Adicionado aos corpos do pedido pull criados pelo Codex","settings.git.prInstructions.label":"Instruções do pedido pull","settings.git.prInstructions.placeholder":"Adicionar orientação para pedido pull…","settings.git.prInstructions.save":"Guardar","settings.git.prInstructions.save.error":"Falha ao guardar instruções do pedido pull","settings.git.prInstructions.save.success":"Instruções do pedido pull guardadas","settings.ide.defaultOpenTarget.description":"Onde os ficheiros e as pastas abrem por predefinição","settings.ide.defaultOpenTarget.label":"Destino de abertura predefinido","settings.ide.defaultOpenTarget.placeholder":"Sem destinatários encontrados","settings.ide.language.auto":"Detetar automaticamente","settings.ide.language.autoOption":"Detetar automaticamente","settings.ide.language.description":"Idioma para a IU da app","settings.ide.language.label":"Idioma","settings.ide.language.search":"Pesquisar idiomas","settings.layout.actionButton":"Reiniciar extensão","settings.layout.actionTitle":"Definições com ação","settings.layout.fullWidthTitle":"Definições (extensão completa)","settings.layout.title":"Definições","settings.localEnvironments.actions.add":"Adicionar ação","settings.localEnvironments.actions.add.description":"Crie um novo comando para executar a partir da barra de ferramentas.","settings.localEnvironments.actions.add.save":"Guardar","settings.localEnvironments.actions.empty":"Adicionar uma ação para executar comandos da barra de ferramentas local.","settings.localEnvironments.actions.icon.debug":"Depurar","settings.localEnvironments.actions.icon.run":"Executar","settings.localEnvironments.actions.icon.test":"Testar","settings.localEnvironments.actions.icon.tool":"Ferramenta","settings.localEnvironments.actions.item.button.delete":"Eliminar","settings.localEnvironments.actions.item.command":"Script de ação","settings.localEnvironments.actions.item.name":"Nome","settings.localEnvironments.actions.item.platforms":"Plataformas","settings.localEnvironments.actions.item.platforms.help":"Executar apenas num sistema operativo específico.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Seleção da plataforma","settings.localEnvironments.actions.item.platforms.specific":"Específico da plataforma","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Eliminar","settings.localEnvironments.actions.title":"Ações","settings.localEnvironments.breadcrumb.back":"Voltar","settings.localEnvironments.breadcrumb.edit":"editar","settings.localEnvironments.breadcrumb.root":"Ambientes","settings.localEnvironments.environment.actions.description":"Estas ações podem executar qualquer comando e serão apresentadas no cabeçalho.","settings.localEnvironments.environment.actionsLabel":"Ações","settings.localEnvironments.environment.create":"Criar ambiente local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Editar ambiente local","settings.localEnvironments.environment.empty":"Nenhum ambiente local está ainda configurado para este projeto.","settings.localEnvironments.environment.name":"Nome","settings.localEnvironments.environment.setup":"Script de configuração","settings.localEnvironments.environment.setup.description":"Este script será executado na criação da worktree.","settings.localEnvironments.environment.setup.hint":"Executa na raiz do projeto.","settings.localEnvironments.environment.setup.platformOverrides":"Substituições da plataforma","settings.localEnvironments.environment.setup.platformOverrides.add":"Adicionar {platform} script de configuração","settings.localEnvironments.environment.setup.platformOverrides.description":"Substitui o script predefinido para sistemas operativos específicos.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Retirar","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Detalhes do ambiente","settings.localEnvironments.file.missing":"Guardar para criar este ficheiro pela primeira vez.","settings.localEnvironments.file.parseError":"Não é possível analisar o ficheiro existente. Se guardar, irá substituí-lo. ({error})","settings.localEnvironments.file.path":"Ficheiro: {path}","settings.localEnvironments.file.readError":"Falha ao carregar dados do ambiente local. ({error})","settings.localEnvironments.file.title":"Ficheiro de ambiente local","settings.localEnvironments.loading.body":"A obter a configuração do projeto.","settings.localEnvironments.loading.title":"A carregar ambientes locais","settings.localEnvironments.preview.devOnly":"(apenas DEV)","settings.localEnvironments.preview.save":"Guardar","settings.localEnvironments.preview.saveError":"Falha ao guardar o ficheiro. ({error})","settings.localEnvironments.preview.title":"Pré-visualização","settings.localEnvironments.save.disabled.name":"Adicione um nome de ambiente para guardar.","settings.localEnvironments.save.disabled.noChanges":"Sem alterações para guardar.","settings.localEnvironments.save.disabled.saving":"A guardar…","settings.localEnvironments.save.success":"Ambiente local guardado","settings.localEnvironments.unavailable.body":"Não foi possível carregar as definições do ambiente local para este projeto.","settings.localEnvironments.unavailable.title":"Ambientes locais indisponíveis","settings.localEnvironments.workspace.add":"Adicionar projeto","settings.localEnvironments.workspace.title":"Projeto","settings.localEnvironments.workspaceSelect.addLabel":"Adicionar ambiente","settings.localEnvironments.workspaceSelect.description":"Os ambientes locais dizem ao Codex como configurar worktrees para um projeto. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ainda sem projetos. Adicione um para configurar os ambientes locais.","settings.localEnvironments.workspaceSelect.errorLabel":"O ambiente precisa de atenção","settings.localEnvironments.workspaceSelect.learnMore":"Saber mais","settings.localEnvironments.workspaceSelect.listLabel":"Projetos disponíveis","settings.localEnvironments.workspaceSelect.loading":"A carregar projetos.","settings.localEnvironments.workspaceSelect.loadingLabel":"A carregar ambiente","settings.localEnvironments.workspaceSelect.title":"Selecionar um projeto","settings.localEnvironments.workspaceSelect.viewAction":"Ver","settings.mcp.addServer":"Adicionar servidor","settings.mcp.app.configure":"Configurar","settings.mcp.app.connect":"Ligar","settings.mcp.apps.refresh":"Atualizar","settings.mcp.detail.addArgument":"Adicionar argumento","settings.mcp.detail.addEnvVar":"Adicionar variável do ambiente","settings.mcp.detail.addEnvVarPassthrough":"Adicionar variável","settings.mcp.detail.args":"Argumentos","settings.mcp.detail.back":"Voltar","settings.mcp.detail.command":"Comando para iniciar","settings.mcp.detail.cwd":"Diretório de trabalho","settings.mcp.detail.docs":"Abrir documentação MCP","settings.mcp.detail.docs.link":"Documentos","settings.mcp.detail.envVarPassthrough":"Passagem variável do ambiente","settings.mcp.detail.envVars":"Variáveis do ambiente","settings.mcp.detail.http.addEnvHeader":"Adicionar variável","settings.mcp.detail.http.addHeader":"Adicionar cabeçalho","settings.mcp.detail.http.bearerToken":"Variável do ambiente de token de portador","settings.mcp.detail.http.envHeaders":"Cabeçalhos de variáveis do ambiente","settings.mcp.detail.http.headers":"Cabeçalhos","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nome","settings.mcp.detail.save":"Guardar","settings.mcp.detail.switchTransportNotice":"Se pretender mudar de tipo de servidor MCP, desinstale primeiro.","settings.mcp.detail.titleExisting":"Atualizar MCP {name}","settings.mcp.detail.titleNew":"Ligar a um MCP personalizado","settings.mcp.detail.transport.http":"HTTP com stream possível","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Desinstalar","settings.mcp.empty":"Nenhum servidor MCP personalizado ligado","settings.mcp.myServers":"Servidores personalizados","settings.mcp.partnerServer.description.figma":"Gere código melhor trazendo o contexto Figma completo","settings.mcp.partnerServer.description.github":"Integre com API GitHub para automatizar fluxos de trabalho e extrair dados","settings.mcp.partnerServer.description.linear":"Integre com rastreamento de problemas e gestão de projetos Linear","settings.mcp.partnerServer.description.notion":"Leia documentos, atualize páginas, faça a gestão de tarefas","settings.mcp.partnerServer.description.playwright":"Integre a automação do navegador para implementar o design e testar a IU.","settings.mcp.partnerServer.install":"Instalar","settings.mcp.partnerServer.installAndAuthenticate":"Instalar e autenticar","settings.mcp.partnerServer.logoAlt":"Logótipo {label}","settings.mcp.partnerServer.manage":"Gerir","settings.mcp.partnerServer.vendor":"por {vendor}","settings.mcp.recommendedServers":"Servidores recomendados","settings.mcp.restartApp":"Reiniciar","settings.mcp.restartExtension":"Reiniciar extensão","settings.mcp.server.enable":"Ativar","settings.mcp.server.login":"Autenticar","settings.mcp.server.settings":"Definições","settings.multiselect.createOption":'Criar "{value}"',"settings.multiselect.removeOption":"Retirar","settings.nav.account":"Conta","settings.nav.agent":"Configuração","settings.nav.ariaLabel":"Definições","settings.nav.back":"Voltar à app","settings.nav.data-controls":"Threads arquivadas","settings.nav.environments":"Ambientes da nuvem","settings.nav.externalTooltip":"[alpha] Abre no navegador","settings.nav.general-settings":"Geral","settings.nav.git-settings":"Git","settings.nav.local-environments":"Ambientes","settings.nav.mcp-settings":"Servidores MCP","settings.nav.notImplemented":"[alpha] Indisponível no Alpha","settings.nav.personalization":"Personalização","settings.nav.skills-settings":"Capacidades","settings.nav.usage-analytics":"Utilização e analítica","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Voltar","settings.openSourceLicenses.loading":"A carregar…","settings.openSourceLicenses.missing":"Não foram encontrados avisos de terceiros.","settings.openSourceLicenses.notSupported":"Não disponível neste anfitrião.","settings.openSourceLicenses.rowDescription":"Avisos de terceiros para dependências em pacote","settings.openSourceLicenses.rowLabel":"Licenças de código aberto","settings.openSourceLicenses.subtitle":"Avisos de terceiros para dependências incluídas nesta app","settings.openSourceLicenses.title":"Licenças de código aberto","settings.openSourceLicenses.view":"Ver","settings.personalization.agents.description":"Edite instruções que personalizem o Codex para si. {learnMore}","settings.personalization.agents.learnMore":"Saber mais","settings.personalization.agents.loadError":"Não foi possível carregar agents.md.","settings.personalization.agents.loading":"A carregar agents.md…","settings.personalization.agents.placeholder":"Adicionar as suas instruções personalizadas…","settings.personalization.agents.retry":"Tentar novamente","settings.personalization.agents.save":"Guardar","settings.personalization.agents.save.error":"Não é possível guardar agents.md","settings.personalization.agents.save.success":"Guardar agents.md","settings.personalization.agents.title":"Instruções personalizadas","settings.personalization.personality.description":"Escolha um tom predefinido para as respostas do Codex","settings.personalization.personality.label":"Personalidade","settings.sample.contentBody":"Use este esquema para compor os seus painéis de definições com espaçamento consistente.","settings.sample.contentTitle":"Bloco de conteúdo de amostra","settings.section.account":"Conta","settings.section.agent":"Configuração","settings.section.data-controls":"Threads arquivadas","settings.section.environments":"Ambientes da nuvem","settings.section.external":"Abre no navegador durante Alpha","settings.section.general-settings":"Geral","settings.section.git-settings":"Git","settings.section.local-environments":"Ambientes","settings.section.mcp-settings":"Servidores MCP","settings.section.mcp-settings.docs":"Documentos","settings.section.mcp-settings.subtitle":"Ligar ferramentas externas e fontes de dados.","settings.section.personalization":"Personalização","settings.section.skills-settings":"Capacidades","settings.section.unavailable":"Ainda não disponível no Alpha","settings.section.usage-analytics":"Utilização e analítica","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"Escolher quantos resultados de comando mostrar nos threads","settings.threadDetail.label":"Detalhe do thread","settings.worktrees.conversation.untitled":"Conversa sem título","settings.worktrees.delete.error":"Falha ao eliminar worktree","settings.worktrees.empty.body":"As worktrees criadas pelo Codex aparecerão aqui.","settings.worktrees.empty.title":"Ainda sem worktrees","settings.worktrees.error.body":"Algo correu mal ao carregar worktrees.","settings.worktrees.error.retry":"Tentar novamente","settings.worktrees.error.title":"Não foi possível carregar worktrees","settings.worktrees.loading.body":"A obter detalhes da worktree.","settings.worktrees.loading.title":"A carregar worktrees","settings.worktrees.repository.loading":"A carregar metadados do repositório…","settings.worktrees.repository.unknown":"Repositório desconhecido","settings.worktrees.row.conversations":"Conversas","settings.worktrees.row.conversations.empty":"Sem conversas ligadas a esta worktree.","settings.worktrees.row.conversations.loading":"A carregar conversas…","settings.worktrees.row.delete":"Eliminar","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Adicionar novo projeto","sidebarElectron.archiveThread":"Arquivar thread","sidebarElectron.archiveThreadError":"Falha ao arquivar thread","sidebarElectron.collapseFolder":"Reduzir pasta","sidebarElectron.createStableWorktree.dialog.cancel":"Cancelar","sidebarElectron.createStableWorktree.dialog.create":"Criar","sidebarElectron.debugNavLink":"Depurar","sidebarElectron.editWorkspaceRootOptionName":"Editar nome","sidebarElectron.expandFolder":"Expandir pasta","sidebarElectron.groupByMenu.recency":"Lista cronológica","sidebarElectron.groupByMenu.title":"Organizar","sidebarElectron.groupByMenu.workspace":"Por projeto","sidebarElectron.inboxRouteNavLink":"Automatizações","sidebarElectron.markThreadUnread":"Marcar como não lida","sidebarElectron.missingWorkspaceRoot":"Esta pasta do projeto foi eliminada ou movida","sidebarElectron.newThread":"Nova thread","sidebarElectron.newThreadInGroup":"Iniciar nova thread em {folder}","sidebarElectron.noRecentThreads":"Sem threads recentes","sidebarElectron.noTasks":"Sem threads","sidebarElectron.noTasks.start":"Adicionar novo projeto","sidebarElectron.noTasksWithFilter":"Não existem threads que correspondam aos filtros","sidebarElectron.pinnedThreads":"Threads fixos","sidebarElectron.recentNavLink":"Threads","sidebarElectron.recentThreads":"Threads recentes","sidebarElectron.removeWorkspaceRootOption":"Retirar","sidebarElectron.renameThread":"Mudar o nome do thread","sidebarElectron.renameThreadDialogAriaLabel":"Título de thread","sidebarElectron.renameThreadDialogCancel":"Cancelar","sidebarElectron.renameThreadDialogPlaceholder":"Adicionar um título…","sidebarElectron.renameThreadDialogSave":"Guardar","sidebarElectron.renameThreadDialogSubtitle":"Manter curto e reconhecível.","sidebarElectron.renameThreadDialogTitle":"Mudar o nome do thread","sidebarElectron.renameThreadError":"Falha ao mudar o nome do thread","sidebarElectron.renameWorkspaceRootOptionLabel":"Nome de apresentação","sidebarElectron.showLess":"Mostrar menos","sidebarElectron.showMenu.all":"Todos os threads","sidebarElectron.showMenu.relevant":"Relevante","sidebarElectron.showMenu.relevantHint":"Mostrar apenas threads recentes para a ramificação atual, worktrees ou outros threads que necessitem da sua atenção","sidebarElectron.showMenu.title":"Mostrar","sidebarElectron.showMenu.tooltip":"Filtrar, ordenar e organizar threads","sidebarElectron.showMenu.trigger":"Filtrar threads da barra lateral","sidebarElectron.showMore":"Mostrar mais","sidebarElectron.skillsRouteNavLink":"Capacidades","sidebarElectron.sortMenu.created":"Criado","sidebarElectron.sortMenu.title":"Ordenar por","sidebarElectron.sortMenu.updated":"Atualizado","sidebarElectron.taskNavigation":"Pastas de automação","sidebarElectron.tasksInFolder":"Automações em {folder}","sidebarElectron.workspaceOptions":"Ações do projeto para {folder}","sidebarElectron.worktreeGroupTooltip":"Esta é uma worktree git","skills.appsPage.createSkill":"Nova capacidade","skills.appsPage.empty.skills":"Não foram encontradas capacidades","skills.appsPage.search.skills":"Pesquisar capacidades","skills.appsPage.search.skills.label":"Pesquisar capacidades","skills.appsPage.section.installedApps":"Instalada","skills.appsPage.section.skills":"Capacidades","skills.appsPage.subheading":"Dê superpoderes ao Codex.<link>Saber mais</link>","skills.appsPage.tab.recommended":"Recomendado","skills.appsPage.tab.skills":"Capacidades","skills.card.contentsError":"Não é possível carregar conteúdos de capacidade.","skills.card.disable":"Desativar","skills.card.disableSuccess":"{skillName} capacidade desativada","skills.card.disabledBadge":"Desativado","skills.card.enable":"Ativar","skills.card.enableSuccess":"{skillName} capacidade ativada","skills.card.loadingContents":"A carregar conteúdos de capacidade...","skills.card.more":"Mais ações","skills.card.open":"Aberto","skills.card.removeFailed":"Falha ao desinstalar capacidade","skills.card.removeSuccess":"{skillName} capacidade desinstalada","skills.card.toggleEnabledError":"Falha ao atualizar a capacidade","skills.card.try":"Experimentar","skills.card.trySkill":"Experimentar capacidade","skills.card.uninstall":"Desinstalar","skills.hero.dotLabel":"Ir para diapositivo {index}","skills.hero.next":"Próxima capacidade em destaque","skills.hero.trySkill":"Experimentar capacidade","skills.page.createSkill":"Nova capacidade","skills.page.empty":"Não foram encontradas capacidades","skills.page.filteredEmpty":"Nenhuma capacidade corresponde aos seus filtros","skills.page.filteredEmptyDescription":"Experimente ajustar os filtros de pesquisa ou âmbito","skills.page.heading":"Capacidades","skills.page.loading":"A carregar capacidades...","skills.page.refreshSkills":"Atualizar","skills.page.refreshSkillsToUseNew":"Atualize para utilizar as novas capacidades","skills.page.search":"Pesquisar capacidades","skills.page.search.label":"Pesquisar capacidades","skills.page.subheading":"Dê superpoderes ao Codex.<link>Saber mais</link>","skills.preview.copyPrompt":"Copiar prompt","skills.preview.examplePrompt":"Prompt de exemplo","skills.recommended.error":"Não é possível carregar as capacidades recomendadas","skills.recommended.install":"Instalar","skills.recommended.installSkill":"Instalar capacidade","skills.recommended.installSuccess":"{skillName} capacidade instalada","skills.recommended.installed":"Instalada","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Instaladas pelo administrador","skills.scope.builtIn":"Sistema","skills.scope.personal":"Pessoal","skills.scope.repo":"Repositório","skills.scope.system":"Sistema","skills.scope.team":"Equipa","skills.scope.user":"Utilizador","skills.section.installed":"Instalada","skills.section.recommended":"Recomendado","story.slidingToggle.existing":"Existente","story.slidingToggle.fromLocal":"A partir do local","story.slidingToggle.new":"Novo","story.slidingToggle.toLocal":"Para local","terminal.close":"Fechar terminal","terminal.title":"Terminal","thinkingShimmer.default":"A pensar","threadEnvIcon.cloudTooltip":"Esta conversa está a ser executada no Codex Cloud.","threadEnvIcon.localTooltip":"Esta conversa está a ser executada localmente.","threadEnvIcon.worktreeTooltip":"Esta conversa está a ser executada numa worktree git local.","threadHeader.archiveConfirmCancel":"Cancelar","threadHeader.archiveConfirmConfirm":"Arquivar","threadHeader.archiveConfirmSubtitle":"Pode encontrá-la mais tarde nas suas threads arquivadas.","threadHeader.archiveConfirmTitle":"Arquivar thread","threadHeader.copyAppLink":"Copiar deeplink","threadHeader.copySessionId":"Copiar ID da sessão","threadHeader.copyWorkingDirectory":"Diretório de trabalho de cópia","threadHeader.forkIntoLocal":"Dividir para local","threadHeader.forkIntoWorktree":"Dividir numa nova worktree","threadHeader.forkPendingWorktreePrompt":"Dividir esta conversa numa nova worktree.","threadHeader.forkPendingWorktreeTitle":"Conversa dividida","threadHeader.forkThreadError":"Falha ao dividir thread","threadHeader.forkThreadRequiresGitRepo":"Dividir para uma nova worktree requer um repositório Git","threadHeader.moreActions":"Ações de thread","threadPage.newThread":"Nova thread","threadPage.runAction.changeEnvironment":"Alterar ambiente","threadPage.runAction.dropdown.titleWithEnvironment":"Ações {environmentName}","threadPage.runAction.environmentSelector.label":"Escolher ambiente","threadPage.runAction.label":"Executar","threadPage.runAction.missing.label":"Configurar uma ação de execução","threadPage.runAction.setup.commandLabel":"Comando para executar","threadPage.runAction.setup.description":"Diga ao Codex como instalar dependências e iniciar a sua app.","threadPage.runAction.setup.editMore":"Definições do ambiente","threadPage.runAction.setup.placeholder":"por exemplo: npm instalar npm executar","threadPage.runAction.setup.submit":"Guardar e executar","threadPage.runAction.setup.title":"Executar","threadPage.runAction.tooltip.withEnvironment":"Ações {environmentName}","threadPage.toggleDiffPanel":"Alternar painel de diferença","threadPage.toggleTerminal":"Alternar terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Abrir pasta","toolSummaryForCmd.exploredFiles":"<verb>Ficheiros</verb> listados","toolSummaryForCmd.exploredFilesInPath":"<verb>Ficheiros</verb> listados em {path}","toolSummaryForCmd.exploringFiles":"<verb>Listar</verb> ficheiros","toolSummaryForCmd.exploringFilesInPath":"<verb>Listar</verb> ficheiros em {path}","toolSummaryForCmd.ranGenericCommand":"<status>Comando executado</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Executou</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Ler</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>A executar comando</status>{timer}","toolSummaryForCmd.runningTimer":"para {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Procurou</verb> por {query}","toolSummaryForCmd.searchedForFiles":"<verb>Procurou</verb> ficheiros","toolSummaryForCmd.searchedForInPath":"<verb>Procurou</verb> por {query} em {path}","toolSummaryForCmd.searchingFor":"<verb>A procurar</verb> por {query}","toolSummaryForCmd.searchingForFiles":"<verb>A procurar</verb> ficheiros","toolSummaryForCmd.searchingForInPath":"<verb>A procurar</verb> por {query} em {path}","traceRecording.details.noteLabel":"O que estava a fazer quando isto aconteceu? (opcional)","traceRecording.details.notePlaceholder":"Naveguei para um thread grande e depois mudei de separador repetidamente…","traceRecording.details.submit":"Enviar rastreamento","traceRecording.details.subtitle":"Podemos enviar este rastreamento de perfil para ajudar a diagnosticar problemas de desempenho.","traceRecording.details.title":"Enviar rastreamento de perfil?","traceRecording.progress.subtitle":"Mantenha o Codex aberto enquanto isto compila.","traceRecording.saving.title":"A guardar rastreamento…","traceRecording.startDetails.cancel":"Cancelar","traceRecording.startDetails.submit":"OK, iniciar gravação","traceRecording.startDetails.subtitle":"Depois de clicar em OK, reproduza o problema de desempenho e, em seguida, clique no indicador flutuante vermelho para parar e rever o rastreamento.","traceRecording.startDetails.title":"Como funciona a gravação de rastreamentos","traceRecording.stopButton.ariaLabel":"Parar gravação de rastreamento","traceRecording.upload.successToast":"Rastreamento de perfil enviado.","traceRecording.uploading.title":"A carregar rastreamento…","wham.diff.addComment":"Adicionar comentário","wham.diff.binaryFile":"Ficheiro binário não apresentado","wham.diff.noContent":"Sem conteúdo","wham.fileTag.deleted":"Eliminado","wham.fileTag.new":"Novo","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}m","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}s","wham.formattedRelativeDateTime.compactYearsAgo":"{value}a","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"A trabalhar na sua tarefa","wham.whamProposedTask.title":"Tarefa sugerida","wham.whamProposedTask.useSuggestion":"Usar sugestão","workspaceRootDialog.addError":"Falha ao adicionar projeto","workspaceRootDialog.cancel":"Cancelar","workspaceRootDialog.confirmAdd":"Adicionar projeto","workspaceRootDialog.confirmPick":"Utilizar projeto","workspaceRootDialog.description":"Introduza um caminho em {host} para usar como projeto.","workspaceRootDialog.pathLabel":"Caminho do projeto","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Adicionar caminho do projeto","workspaceRootDialog.title.pick":"Escolher caminho do projeto","worktreeInitV2.cancel":"Cancelar","worktreeInitV2.notification.failedTitle":"Falha na configuração da worktree.","worktreeInitV2.output.empty":"A aguardar resultado…","worktreeInitV2.status.error":"Falha na configuração da worktree.","worktreeInitV2.status.running":"A criar uma worktree e a executar a configuração.","worktreeInitV2.status.runningFork":"A criar uma worktree para dividir esta conversa.","worktreeInitV2.status.success":"Worktree pronta.","worktreeInitV2.title":"A criar worktree","worktreeInitV2.workLocallyInstead":"Em vez disso, trabalhar localmente","worktreeRestoreBanner.body":"A worktree desta thread foi retirada para poupar espaço no disco","worktreeRestoreBanner.missing.body":"O diretório de trabalho desta thread já não existe","worktreeRestoreBanner.missing.title":"Diretório de trabalho atual em falta","worktreeRestoreBanner.restore.error":"Falha ao restaurar worktree: {message}","worktreeRestoreBanner.restore.success":"Worktree restaurada","worktreeRestoreBanner.restoreCta":"Restaurar worktree","worktreeRestoreBanner.title":"Worktree limpa"};Object.assign(e,globalThis.codexI18nOverrides?.["pt-PT"]);export{e as default};
 //# sourceMappingURL=pt-PT-ChRr2wg4.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Copiază","app.sidebar.hide":"Ascunde bara laterală","app.sidebar.show":"Afișează bara laterală","app.sidebar.tooltip":"Comută pe bara laterală","appHeader.installUpdate":"Actualizează","appSunset.body":"Această versiune a aplicației nu mai este acceptată. Descarcă cea mai recentă versiune <here>aici</here>.","appSunset.title":"Este necesară actualizarea","automation.updateDirective.create":"Creează","automation.updateDirective.open":"Deschide","automation.updateDirective.untitled":"Automatizare fără titlu","automation.updateDirective.update":"Actualizează","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# încercare} few {# încercări} other {# de încercări}}","cloudTaskRow.archiveError":"Sarcina nu a putut fi arhivată","code.diff.requestChange":"Solicită modificarea","code.diffComment.cancel":"Anulează","code.diffComment.comment":"Comentează","code.diffComment.delete":"Șterge","code.diffComment.save":"Salvează","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nu au fost raportate rezultate.","codex.alert.closeAriaLabel":"Închide","codex.appUpsellBanner.cbpApi.message":"Construiește mai rapid cu aplicația Codex. Descarcă acum sau {learnMoreLink}.","codex.appUpsellBanner.download":"Descarcă","codex.appUpsellBanner.freeGo.message":"Codex este inclus în planul tău până pe 2 martie. Încearcă aplicația Codex pentru a construi mai rapid.","codex.appUpsellBanner.later":"Mai târziu","codex.appUpsellBanner.learnMoreLowercase":"află mai multe","codex.appUpsellBanner.new":"Nou","codex.appUpsellBanner.proPlusBusiness.message":"Încearcă aplicația Codex cu limită tarifară dublă până pe 2 aprilie. Descarcă acum sau {learnMoreLink}.","codex.appUpsellBanner.title":"Aplicația Codex","codex.applyDropdown.header.changes":"Modificări","codex.applyDropdown.header.fileCount":"{count, plural, one {# fișier} few {# de fișiere} other {# de fișiere}}","codex.applyDropdown.header.rows":"rânduri","codex.applyDropdown.header.title":"Aplică modificări","codex.applyDropdown.header.workspace":"Proiect","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fișier cu conflict:} few {{count} fișiere cu conflict:} other {{count} de fișiere cu conflict:}}","codex.applyDropdown.results.empty":"Nu s-a copiat niciun fișier","codex.applyDropdown.results.skipped":"{count, plural, one {1 fișier omis:} few {{count} fișiere omise:} other {{count} de fișiere omise:}}","codex.applyOrRevertBanner.apply":"Aplică","codex.applyOrRevertBanner.applyMessage":"Aplici modificările și continui local?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Această sarcină a fost efectuată în {environment}, astfel că s-ar putea să nu se aplice perfect.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Modificările au fost efectuate în {environment}, astfel că s-ar putea să nu se aplice perfect.","codex.applyOrRevertBanner.reapply":"Reaplică","codex.applyOrRevertBanner.revert":"Revenire","codex.applyOrRevertBanner.revertMessage":"Anulezi modificările aplicate?","codex.applyResultsDialog.applied":"Aplicate perfect ({count})","codex.applyResultsDialog.close":"Închide","codex.applyResultsDialog.conflicted":"Cu conflict ({count})","codex.applyResultsDialog.noDetails":"Nu sunt disponibile detalii despre fișier.","codex.applyResultsDialog.skipped":"Omise ({count})","codex.applyResultsDialog.title":"Aplică rezultatele","codex.archiveInfo":"Vezi discuțiile arhivate din {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Comenzi date","codex.archiveInfo.electron":"Vezi discuțiile arhivate din {settingsLink}.","codex.archiveInfo.extension":"Vezi discuțiile arhivate din folderul .codex.","codex.archiveInfo.settingsLink":"Setări","codex.banner.content.description":"Rulează sarcini în paralel, urmărește progresul de oriunde și revizuiește PR-uri folosind inteligența artificială.","codex.banner.content.headline":"Codex le face pe toate.","codex.cloudTaskRow.archiveTask":"Arhivează sarcina","codex.cloudTaskRow.confirmArchiveTask":"Confirmă","codex.command.feedback":"Feedback","codex.command.findInThread":"Găsește","codex.command.forceReloadSkills":"Reîncarcă forțat abilitățile","codex.command.logOut":"Deconectează-te","codex.command.manageTasks":"Gestionează sarcinile","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Înapoi","codex.command.navigateForward":"Înainte","codex.command.newThread":"Fir nou","codex.command.nextThread":"Următorul fir","codex.command.openFolder":"Deschide folder","codex.command.openSkills":"Mergi la abilități","codex.command.openThreadOverlay":"Deschide firul","codex.command.personalitySettings":"Personalitate","codex.command.previousThread":"Firul anterior","codex.command.settings":"Setări","codex.command.toggleDiffPanel":"Activează/dezactivează panoul de diferențe","codex.command.toggleSidebar":"Comută pe bara laterală","codex.command.toggleTerminal":"Comută terminalul","codex.commandGroup.app":"Aplicație","codex.commandGroup.configure":"Configurează","codex.commandGroup.navigation":"Navigare","codex.commandGroup.panels":"Panouri","codex.commandGroup.skills":"Abilități","codex.commandGroup.thread":"Fir","codex.commandGroup.workspace":"Proiect","codex.commandMenu.noResults":"Nu există potriviri","codex.commandMenu.searchPlaceholder":"Caută în comenzi","codex.commandMenu.suggestedGroup":"Sugestii","codex.commandMenu.switchWorkspace":"Schimbă proiectul","codex.commandMenu.title":"Meniu comenzi","codex.common.retry":"Reîncearcă","codex.composer.searchBranches":"Caută în ramificații","codex.dialog.basic.body":"Aceasta este o fereastră de dialog simplă utilizând codul nostru de încapsulare a dialogului Radix.","codex.dialog.basic.cancel":"Anulează","codex.dialog.basic.confirm":"Confirmă","codex.dialog.basic.open":"Deschide dialogul","codex.dialog.basic.title":"Model de dialog","codex.dialog.long.close":"Închide","codex.dialog.long.line":"Linie derulantă {index} pentru a demonstra conținutul detaliat din interiorul dialogului.","codex.dialog.long.open":"Deschide dialogul detaliat","codex.dialog.long.title":"Dialog cu conținut detaliat","codex.dialog.unstyled.body":"Această poveste arată cum apelanții pot controla integral stilizarea conținutului din dialog.","codex.dialog.unstyled.open":"Deschide dialogul cu elemente de conținut nestilizate","codex.dialog.unstyled.title":"Conținut nestilizat","codex.diff.openInEditorPrompt.openButton":"Deschide în editor","codex.diff.openInEditorPrompt.singleLine":"Acest fișier este prea mare pentru a putea fi afișat aici.","codex.diffView.failedToDecodeBase64Diff":"Decodarea diferențelor în format base64 a eșuat","codex.diffView.filesChanged":"{fileCount, plural, one {# fișier modificat} few {# fișiere modificate} other {# de fișiere modificate}}","codex.diffView.imagePreviewAlt":"Previzualizare imagine","codex.diffView.imagePreviewEmpty":"Nicio imagine","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nu există date despre diferențe","codex.diffView.pdfPreview.nextPage":"Pagina următoare","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Pagina anterioară","codex.diffView.pdfPreviewEmpty":"Nicio previzualizare a PDF-ului","codex.diffView.pdfPreviewError":"Previzualizarea PDF-ului nu este posibilă","codex.diffView.richPreviewDisable":"Dezactivează previzualizarea îmbogățită","codex.diffView.richPreviewEnable":"Activează previzualizarea îmbogățită","codex.diffView.richPreviewLoading":"Se încarcă previzualizarea...","codex.diffView.richPreviewToggle":"Activează/Dezactivează previzualizarea îmbogățită","codex.diffView.switchToUnified":"Comută la vizualizarea unificată a diferențelor","codex.environmentSelector.noEnvironment":"Niciun mediu","codex.environments.environmentSettings":"Setări mediu","codex.environments.learnMore":"Află mai multe","codex.environments.listError":"Mediile nu au putut fi încărcate.","codex.environments.noEnvironmentsFound":"Nu a fost găsit niciun mediu","codex.environments.searchError":"Mediile nu au putut fi căutate.","codex.errorBoundary.genericError":"Hopa, a apărut o eroare","codex.errorBoundary.goHome":"Încearcă din nou","codex.file.patch.missing":"Nu s-a putut crea o corecție pentru acest fișier.","codex.gallery.automations.cwdLabel":"Proiecte","codex.gallery.automations.nameLabel":"Nume","codex.gallery.automations.namePlaceholder":"Rezumă o sarcină","codex.gallery.automations.promptLabel":"Solicitare","codex.gallery.automations.promptPlaceholder":"Descrie ceea ce ar trebui să facă Codex","codex.gallery.dialogs.automation.label":"Dialog privind automatizarea","codex.gallery.dialogs.basic.body":"Folosește acest format pentru confirmări simple sau formulare scurte.","codex.gallery.dialogs.basic.cancel":"Anulează","codex.gallery.dialogs.basic.confirm":"Confirmă","codex.gallery.dialogs.basic.label":"Dialog de bază","codex.gallery.dialogs.basic.title":"Model de dialog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Descrie problema","codex.gallery.dialogs.feedbackSubmission.bad":"Rezultat incorect","codex.gallery.dialogs.feedbackSubmission.bug":"Eroare","codex.gallery.dialogs.feedbackSubmission.good":"Rezultat bun","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Include jurnalele sesiunii Codex actuale","codex.gallery.dialogs.feedbackSubmission.label":"Trimitere feedback","codex.gallery.dialogs.feedbackSubmission.other":"Altceva","codex.gallery.dialogs.feedbackSubmission.placeholder":"Descrie aici problema","codex.gallery.dialogs.feedbackSubmission.submit":"Trimite","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedbackul a fost încărcat. Dacă problema persistă, raportează o problemă în GitHub sau menționează ID-ul firului în cadrul unei probleme raportate deja:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ignoră","codex.gallery.dialogs.feedbackSuccess.label":"Feedback transmis","codex.gallery.dialogs.feedbackSuccess.title":"Feedbackul a fost încărcat","codex.gallery.dialogs.gitApplyResults.applied":"Aplicate fără probleme (2)","codex.gallery.dialogs.gitApplyResults.close":"Închide","codex.gallery.dialogs.gitApplyResults.conflicted":"În conflict (1)","codex.gallery.dialogs.gitApplyResults.label":"Aplică rezultatele","codex.gallery.dialogs.gitApplyResults.title":"Aplică rezultatele","codex.gallery.dialogs.gitPushError.body":"Extrage cele mai recente modificări sau trimite forțat dacă știi că istoricul la distanță poate fi suprascris în siguranță.","codex.gallery.dialogs.gitPushError.cancel":"Anulează","codex.gallery.dialogs.gitPushError.force":"Trimite forțat","codex.gallery.dialogs.gitPushError.label":"Eroare la trimiterea forțată","codex.gallery.dialogs.gitPushError.subtitle":"Ramificația ta se află în spatele ramificației de origine/principale.","codex.gallery.dialogs.gitPushError.title":"Modificările nu au putut fi trimise","codex.gallery.dialogs.gitRevert.cancel":"Anulează","codex.gallery.dialogs.gitRevert.confirm":"Anulare modificări","codex.gallery.dialogs.gitRevert.label":"Anulează modificările","codex.gallery.dialogs.gitRevert.skip":"Nu mai întreba","codex.gallery.dialogs.gitRevert.subtitle":"Această acțiune elimină toate aceste modificări.","codex.gallery.dialogs.gitRevert.title":"Anulezi modificările?","codex.gallery.dialogs.longForm.label":"Dialog lung","codex.gallery.dialogs.proseModal.body":"Acest stil de fereastră este utilizat pentru instrucțiuni mai lungi, înscrieri sau blocuri de conținut bogat.","codex.gallery.dialogs.proseModal.close":"Închide","codex.gallery.dialogs.proseModal.subtitle":"Partajează aici documentație sau îndrumări mai detaliate.","codex.gallery.dialogs.proseModal.title":"Fereastră pentru texte lungi","codex.gallery.dialogs.submitBlocked.label":"Trimitere blocată","codex.gallery.dialogs.submitBlocked.message":"Mesajul tău nu a putut fi trimis deoarece proiectul nu este disponibil.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Mesajul nu a putut fi trimis","codex.gallery.dialogs.title":"Dialoguri","codex.gallery.dropdown.filterPlaceholder":"Filtrează articole","codex.gallery.dropdowns.actionRow":"Rânduri de acțiuni","codex.gallery.dropdowns.actionRow.disabled":"Acțiune dezactivată","codex.gallery.dropdowns.actionRow.primary":"Acțiune principală","codex.gallery.dropdowns.actionRow.secondary":"Acțiune secundară","codex.gallery.dropdowns.actionRow.trigger":"Afișează acțiuni","codex.gallery.dropdowns.basic":"Meniu derulant de bază","codex.gallery.dropdowns.basic.newFile":"Fișier nou","codex.gallery.dropdowns.basic.newFolder":"Folder nou","codex.gallery.dropdowns.basic.openSettings":"Deschide setările","codex.gallery.dropdowns.basic.title":"Acțiuni rapide","codex.gallery.dropdowns.basic.trigger":"Deschide meniul","codex.gallery.dropdowns.basic.upload":"Încarcă","codex.gallery.dropdowns.panel":"Stil panou","codex.gallery.dropdowns.panel.apply":"Aplică","codex.gallery.dropdowns.panel.body":"Analizează diferențele și aplică-le în proiectul tău.","codex.gallery.dropdowns.panel.preview":"Previzualizare","codex.gallery.dropdowns.panel.title":"Aplică modificări","codex.gallery.dropdowns.panel.trigger":"Deschide panoul","codex.gallery.dropdowns.search":"Meniu derulant cu funcție de căutare","codex.gallery.dropdowns.search.first":"Canal Alfa","codex.gallery.dropdowns.search.second":"Ramificație Beta","codex.gallery.dropdowns.search.third":"Candidat pentru lansare","codex.gallery.dropdowns.search.trigger":"Filtrează articole","codex.gallery.dropdowns.submenu":"Meniu derulant cu submeniu","codex.gallery.dropdowns.submenu.optionA":"Proiectul alfa","codex.gallery.dropdowns.submenu.optionB":"Proiectul beta","codex.gallery.dropdowns.submenu.optionC":"Proiectul gama","codex.gallery.dropdowns.submenu.primary":"Atribuie proprietar","codex.gallery.dropdowns.submenu.secondary":"Mută ​​în","codex.gallery.dropdowns.submenu.tertiary":"Arhivează","codex.gallery.dropdowns.submenu.trigger":"Alege acțiunea","codex.gallery.dropdowns.title":"Meniuri derulante","codex.gallery.inbox.automations.close":"Închide","codex.gallery.inbox.automations.popover.cardTitle":"Gestionează automatizările","codex.gallery.inbox.automations.popover.dialogTitle":"Gestionează automatizările","codex.header.settingsTooltip":"Setări","codex.hunk.patch.error":"Nu s-a reușit etapizarea","codex.hunk.patch.missing":"Nu s-a putut crea o corecție pentru acest bloc.","codex.hunk.patch.partialSuccess":"Succes parțial","codex.hunk.patch.revertError":"Nu s-a reușit anularea etapizării","codex.hunk.patch.revertSuccess":"Anulare etapizare reușită","codex.hunk.patch.success":"Etapizare reușită","codex.legal.autonomy.details":"Vezi {link} pentru mai multe detalii","codex.legal.autonomy.details.link":"Documente Codex","codex.legal.autonomy.title":"Decide cât de multă autonomie dorești să acorzi","codex.legal.backButton":"Înapoi","codex.legal.cloud.taskOne.meta":"openai/agi · 12 octombrie","codex.legal.cloud.taskOne.title":"Explică unui designer nou ce este un depozit","codex.legal.cloud.taskThree.meta":"openai/codex · 8 octombrie","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Creează o temă în modul întunecat","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 octombrie","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Remediază o eroare legată de înscriere","codex.legal.continue.apikey":"Continuă","codex.legal.continueButton":"Mai departe","codex.legal.copilot.details":"Utilizează planul tău Copilot pentru toate solicitările către model, facturare și limitele tarifare. Folosirea extensiei Codex face obiectul {oaiTos} și {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Condițiilor de utilizare GitHub","codex.legal.copilot.oaiTosLink":"Condițiilor de utilizare OpenAI Codex","codex.legal.copilot.title":"Pe platforma GitHub Copilot","codex.legal.mistakes.review":"Revizuiește codul pe care îl scrie și comenzile pe care le rulează","codex.legal.mistakes.title":"Codex poate face greșeli","codex.legal.powered.details":"Utilizează limitele tarifare ale planului tău și {link}","codex.legal.powered.details.link":"preferințele privind utilizarea datelor pentru instruire","codex.legal.powered.title":"Pe platforma contului tău ChatGPT","codex.legal.step.cloud.subtitle":"Trimite sarcini pe care Codex să le ruleze pe fundal astfel încât să îți poți păstra concentrarea și să te miști mai rapid.","codex.legal.step.cloud.title":"Transferă procesarea către Codex în cloud","codex.legal.step.intro.subtitle":"Codex navighează, editează, rulează comenzi și execută teste direct din depozitul tău. Pe platforma contului tău ChatGPT.","codex.legal.step.intro.title":"Codex în IDE","codex.legal.step.todo.subtitle":"Scrie un comentariu TODO și convertește-l într-o sarcină Codex cu un singur clic.","codex.legal.step.todo.title":"Transformă sarcinile TODO în sarcini Codex","codex.legal.todo.heading":"// TODO: implementează schema","codex.localConversation.closeImagePreview":"Închide previzualizarea imaginii","codex.localConversation.userImageAttachment":"Atașament utilizator","codex.localTaskRow.archiveTask":"Arhivează firul de mesaje","codex.localTaskRow.awaitingApproval":"Se așteaptă aprobarea","codex.localTaskRow.awaitingResponse":"Se așteaptă răspunsul","codex.localTaskRow.confirmArchiveTask":"Confirmă","codex.loggedOut.apiKeyPrompt.cancel":"Anulează","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Obține cheia API","codex.loggedOut.apiKeyPrompt.inputLabel":"Introdu cheia API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Sarcinile în cloud sunt dezactivate cu cheia API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Sarcinile în cloud sunt dezactivate cu Copilot și cheia API","codex.loggedOut.signIn":"Conectează-te cu ChatGPT","codex.loggedOut.signIn.cancel":"Anulează conectarea","codex.loggedOut.signInWithCopilot":"Conectează-te cu GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Utilizează cheia API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"MCP {server} instrument {tool}","codex.mcpTool.collapsedLabel.verb.called":"Apelate","codex.mcpTool.collapsedLabel.verb.calling":"Se apelează","codex.mcpTool.embeddedResource.contentLabel":"Conținut","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tip MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Instrumentul nu a returnat niciun conținut","codex.mcpTool.rawPayloadHeading":"Sarcina brută a apelului către instrumentul MCP {server}.{tool}","codex.menu.recent":"Recente","codex.menu.seeAllHistory":"Vezi tot istoricul","codex.modelCapacityBanner.headline.noReset":"Capacitatea maximă a {modelName} a fost atinsă. Încearcă din nou mai târziu sau pornește o conversație nouă utilizând un alt model.","codex.modelCapacityBanner.headline.withReset":"Capacitatea maximă a {modelName} a fost atinsă. Încearcă după {resetDate} sau pornește o conversație nouă utilizând un alt model.","codex.modelCapacityBanner.title":"Capacitatea maximă a modelului selectat a fost atinsă","codex.patch.change.contentsDeleted":"Conținuturi șterse","codex.patch.change.created":"Creat","codex.patch.change.created-file":"Fișierul a fost creat","codex.patch.change.creating":"Se creează","codex.patch.change.deleted":"Șters","codex.patch.change.deleted-file":"Fișierul a fost șters","codex.patch.change.deleting":"Se șterge","codex.patch.change.edited":"Editat","codex.patch.change.edited-file":"Fișier editat","codex.patch.change.editing":"Se editează","codex.patch.change.noChanges":"Nicio modificare","codex.patch.change.rejected-add":"Respins","codex.patch.change.rejected-delete":"Respins","codex.patch.change.rejected-edit":"Respins","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} din {total} (de) sarcini finalizate","codex.plan.todoListCreated":"Listă planificată creată cu {total} (de) sarcini","codex.profileDropdown.apiKeyAuth":"Conectat cu cheie API","codex.profileDropdown.codexSettings":"Setări Codex","codex.profileDropdown.copilotAuth":"Conectat cu Copilot","codex.profileDropdown.defaultAccountTitle":"Cont implicit","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter pentru a trimite solicitări lungi","codex.profileDropdown.enterBehaviorError":"Nu s-a reușit actualizarea setării","codex.profileDropdown.getPlus":"Fă upgrade pentru limite mai generoase","codex.profileDropdown.keyboardShortcuts":"Scurtături tastatură","codex.profileDropdown.language":"Limbă","codex.profileDropdown.languageDefault":"Detectare automată","codex.profileDropdown.languageSearchPlaceholder":"Căutare limbi","codex.profileDropdown.languageUpdateError":"Nu s-a reușit actualizarea limbii","codex.profileDropdown.logOut":"Deconectează-te","codex.profileDropdown.mcp":"Setări MCP","codex.profileDropdown.openConfigToml":"Deschide config.toml","codex.profileDropdown.openConfigToml.wsl":"Deschide config.toml într-un mediu WSL","codex.profileDropdown.openExtensionSettings":"Deschide setările","codex.profileDropdown.openMcpSettings":"Deschide setările MCP","codex.profileDropdown.openOnStartup":"Deschide la pornire","codex.profileDropdown.openOnStartupError":"Nu s-a reușit actualizarea setării","codex.profileDropdown.openSkillsSettings":"Deschide setările abilităților","codex.profileDropdown.personalAccountTitle":"Cont personal","codex.profileDropdown.queueFollowUps":"Plasează în coadă urmăririle","codex.profileDropdown.queueFollowUpsError":"Nu s-a reușit actualizarea setării","codex.profileDropdown.readDocs":"Citește documente","codex.profileDropdown.readSkillsDocs":"Citește documente","codex.profileDropdown.runInWsl":"Rulează în WSL","codex.profileDropdown.runInWslError":"Nu s-a reușit actualizarea setării","codex.profileDropdown.runInWslTooltip":"Rulează Codex în interiorul WSL. Recomandat pentru o mai bună securitate și performanță a mediului de testare sigur.","codex.profileDropdown.settings":"Setări IDE","codex.profileDropdown.settingsPage":"Setări","codex.profileDropdown.signInWithOpenAI":"Conectează-te cu ChatGPT","codex.profileDropdown.skills":"Setări abilități","codex.profileDropdown.switchToCopilotAccount":"Folosește contul Copilot","codex.profileDropdown.switchToOpenAIAccount":"Folosește contul OpenAI","codex.profileDropdown.todoCodelens":"Remediază comentariile TODO","codex.profileDropdown.todoCodelensError":"Nu s-a reușit actualizarea setării","codex.profileDropdown.windowsDocumentation":"Documentație Windows","codex.profileFooter.signedInFallback":"Setări","codex.profileFooter.upgrade":"Fă upgrade","codex.recentTasksMenu.clearSearch":"Șterge căutarea","codex.recentTasksMenu.cloud":"Sarcini din cloud","codex.recentTasksMenu.count":"{count, plural, =0 {Nu există sarcini aflate în curs} one {# sarcină în curs} few {# sarcini în curs} other {# de sarcini în curs}}","codex.recentTasksMenu.empty":"Nu există încă niciun fir","codex.recentTasksMenu.errorCloud":"Nu s-a reușit încărcarea sarcinilor.","codex.recentTasksMenu.errorCloud.inline":"Nu s-a reușit încărcarea sarcinilor din cloud.","codex.recentTasksMenu.filterAll":"Toate","codex.recentTasksMenu.filterCloudTasks":"Filtrează sarcinile din cloud","codex.recentTasksMenu.filterTooltip":"Filtrează sarcinile după mediu","codex.recentTasksMenu.local":"Sarcini locale","codex.recentTasksMenu.recent":"Toate sarcinile","codex.recentTasksMenu.search":"Caută sarcini recente","codex.recentTasksMenu.searchEmpty":"Niciun rezultat","codex.recentTasksMenu.tooltip":"Istoricul sarcinilor","codex.recentTasksMenu.trigger":"Sarcini recente. {count, plural, one {# în curs} few {# în curs} other {# în curs}}","codex.remoteConversation.applyDiff.applyCta":"Aplică modificări","codex.remoteConversation.applyDiff.dropdownTitle":"Aplică modificările la o ramificație locală","codex.remoteConversation.applyDiff.revertCta":"Anulează modificările","codex.remoteConversation.closeImagePreview":"Închide previzualizarea imaginii","codex.remoteConversation.codexCloudTask":"Vizualizezi o sarcină din <u>cloudul Codex</u>","codex.remoteConversation.errorWithMessage":"Eroare: {message}","codex.remoteConversation.loadingImage":"Se încarcă imaginea","codex.remoteConversation.openInWeb":"Deschide pe web","codex.remoteConversation.streaming":"Pornește","codex.remoteConversation.turnFailed":"A apărut o eroare în timpul acestei sarcini","codex.remoteConversation.turnTab.loading":"Încercarea {number}","codex.remoteConversation.turnTab.title":"Încercarea {number}","codex.remoteConversation.userImageAttachment":"Atașament utilizator","codex.remoteConversation.viewPreviousTurns":"Deschide pe web","codex.remoteConversation.viewPreviousTurns.buttonText":"Deschide","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Deschide pe web","codex.review.copyGitApplyCommand":"Copiază comanda „git apply”","codex.review.copyGitApplyCommand.toast":"Comanda „git apply” a fost copiată în clipboard","codex.review.diffTooLarge.description":"Această diferență are o dimensiune prea mare pentru a fi afișată în secțiunea Revizuiește.","codex.review.diffTooLarge.title":"Această diferență are o dimensiune prea mare pentru a fi afișată","codex.review.expandOrCollapseDiffButton.collapse":"Restrânge toate diferențele","codex.review.expandOrCollapseDiffButton.expand":"Extinde toate diferențele","codex.review.expandOrCollapseDiffMenu.collapse":"Restrânge toate diferențele","codex.review.expandOrCollapseDiffMenu.expand":"Extinde toate diferențele","codex.review.fileSearch.clear":"Șterge filtrul pentru fișiere","codex.review.fileSearch.empty":"Nu există fișiere care să corespundă filtrului actual.","codex.review.fileSearch.label":"Filtrează fișiere","codex.review.fileSearch.placeholder":"Filtrare fișiere...","codex.review.filesChanged":"{num, plural, =0 {Niciun fișier modificat} one {# fișier modificat} few {# fișiere modificate} other {# de fișiere modificate}}","codex.review.find.loadMore":"Încarcă mai multe potriviri","codex.review.fullReview.hideFileTree":"Ascunde arborele fișierelor","codex.review.fullReview.showFileTree":"Afișează arborele fișierelor","codex.review.header.moreOptions":"Opțiuni de revizuire","codex.review.largeDiff.banner":"A fost detectată o diferență mare. Fișierele sunt afișate pe rând.","codex.review.loadFullFiles.disable":"Nu încărca fișiere complete","codex.review.loadFullFiles.enable":"Încarcă fișiere complete","codex.review.noDiff":"Modificările aduse fișierelor vor fi afișate aici","codex.review.noDiff.gitInit.createRepository":"Creează un depozit git","codex.review.noDiff.gitInit.creating":"Se creează…","codex.review.noDiff.gitInit.error":"Inițializarea Git nu a reușit: {message}","codex.review.noDiff.gitInit.success":"A fost creat un depozit Git","codex.review.noDiff.gitRepoRequired.description":"Urmărește și anulează modificările din acest proiect","codex.review.noDiff.gitRepoRequired.title":"Creează un depozit Git","codex.review.noDiff.orNoLongerAvailable":"sau cele mai recente diferențe nu mai sunt disponibile","codex.review.noDiff.reverted":"Ultima interacțiune a fost anulată","codex.review.noDiff.revertedOrCommitted":"Ultima interacțiune a fost anulată sau validată","codex.review.refreshGitQueries":"Reîmprospătează","codex.review.revert.file.error":"Nu s-a reușit anularea modificărilor {path}","codex.review.revert.file.partialSuccess":"Anulare parțială a modificărilor {path}","codex.review.revert.file.success":"S-au anulat modificările {path}","codex.review.revert.hunk.error":"Nu s-a reușit anularea modificărilor blocului {hunkNumber} în {path}","codex.review.revert.hunk.partialSuccess":"Modificări ale blocului {hunkNumber} anulate parțial în {path}","codex.review.revert.hunk.success":"Modificări ale blocului {hunkNumber} anulate în {path}","codex.review.revert.section.error":"Nu s-a reușit anularea modificărilor secțiunii","codex.review.revert.section.partialSuccess":"Modificări ale secțiunii anulate parțial","codex.review.revert.section.success":"Modificări ale secțiunii anulate","codex.review.revertDialog.cancel":"Anulează","codex.review.revertDialog.confirm":"Confirmă","codex.review.revertDialog.message":"Această acțiune elimină toate aceste modificări.","codex.review.revertDialog.skip":"Nu mai întreba","codex.review.revertDialog.title":"Anulezi modificările?","codex.review.richPreview.disable":"Dezactivează previzualizarea îmbogățită","codex.review.richPreview.enable":"Activează previzualizarea îmbogățită","codex.review.source.cloud":"Modificări în cloud","codex.review.source.local.all":"Toate modificările de la nivelul ramificației","codex.review.source.local.lastTurn":"Ultimele modificări la nivel de răspuns","codex.review.source.local.uncommitted":"Modificări nevalidate","codex.review.source.worktree":"Modificări nevalidate ale arborelui de lucru","codex.review.stageFilter.empty.staged.description":"Acceptă modificările pentru a le etapiza","codex.review.stageFilter.empty.staged.title":"Nicio modificare etapizată","codex.review.stageFilter.empty.unstaged.description":"Modificările de cod vor fi afișate aici","codex.review.stageFilter.empty.unstaged.title":"Nicio modificare neetapizată","codex.review.stageFilter.staged":"Etapizate","codex.review.stageFilter.staged.count":"Etapizate · {count}","codex.review.stageFilter.unstaged":"Neetapizate","codex.review.stageFilter.unstaged.count":"Neetapizate · {count}","codex.review.switchToSplit":"Comută la vizualizarea divizată a diferențelor","codex.review.switchToUnified":"Comută la vizualizarea unificată a diferențelor","codex.review.toggleDiffView":"Activează/dezactivează vizualizarea diferențelor","codex.review.wordDiffs.disable":"Dezactivează evidențierea diferențelor la nivel de cuvânt","codex.review.wordDiffs.enable":"Activează evidențierea diferențelor la nivel de cuvânt","codex.review.wrap.disable":"Dezactivează încadrarea textului","codex.review.wrap.enable":"Activează încadrarea textului","codex.section.patch.missing":"Nu s-a putut crea o corecție pentru această secțiune.","codex.shell.collapse":"Restrânge conținutul shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Conținuturi shell copiate","codex.shell.copy.copyTooltip":"Copiază conținuturi shell","codex.shell.copyCommand":"Copiază comanda","codex.shell.copyOutput":"Copiază rezultatul","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Extinde conținutul shell","codex.shell.name":"Shell","codex.shell.noOutput":"Nicio ieșire","codex.signInFailed.message":"Conectare eșuată: {rawMessage}","codex.stories.toast.show":"Arată bannerul de notificare","codex.stories.tooltip.basic":"Acesta este un sfat pe ecran","codex.stories.tooltip.hoverMe":"Treci cu mouse-ul pe deasupra","codex.stories.tooltip.largerOffset":"Acest sfat pe ecran este deplasat mai mult","codex.stories.tooltip.offsetButton":"Deplasare mai mare","codex.stories.tooltip.shortcutButton":"Cu scurtătură","codex.stories.tooltip.withShortcut":"Comută terminalul","codex.taskRow.title":"Fir nou","codex.taskRowLayout.confirm":"Confirmă","codex.threadFindBar.chatFilter":"Caută în discuție","codex.threadFindBar.close":"Închide rezultatele","codex.threadFindBar.diffFilter":"Caută în diferențe","codex.threadFindBar.label":"Găsește în fir","codex.threadFindBar.nextResult":"Următorul rezultat","codex.threadFindBar.noResults":"0 rezultate","codex.threadFindBar.placeholder":"Caută în fir…","codex.threadFindBar.placeholder.extension":"Caută în fir…","codex.threadFindBar.placeholder.review":"Caută diferențe...","codex.threadFindBar.placeholder.review.extension":"Caută diferențe...","codex.threadFindBar.previousResult":"Rezultatul anterior","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fișier modificat} few {# fișiere modificate} other {# de fișiere modificate}}","codex.unifiedDiff.inlineLargeFile":"Este prea mare pentru a fi redată în linie","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Anulează","codex.unifiedDiff.revertPatchError":"Nu s-a reușit anularea modificărilor","codex.unifiedDiff.revertPatchSuccess":"Modificările au fost anulate","codex.unifiedDiff.reviewChangesSuffix":"modificări","codex.unifiedDiff.reviewShort":"Revizuiește","codex.unifiedDiff.viewDiffTooltip":"Revizuiește","codex.upsellBanner.business.headline":"Pentru a beneficia de mai mult acces acum, trimite-i o solicitare administratorului tău sau așteaptă până la {resetDate}.","codex.upsellBanner.cbp.headline":"Pentru a beneficia de mai mult acces acum, trimite-i o solicitare administratorului tău.","codex.upsellBanner.cta.addCredits":"Adaugă credite","codex.upsellBanner.cta.upgradeAccount":"Fă upgrade","codex.upsellBanner.cta.viewUsage":"Vizualizează utilizarea","codex.upsellBanner.free.trialHeadline":"Limita tarifară se va reseta la {resetDate}. Pentru a continua să folosești Codex și a avea acces la GPT-5.3-Codex, începe astăzi versiunea de încercare gratuită a planului Plus.","codex.upsellBanner.freeOrGo.headline":"Limita tarifară se resetează la {resetDate}. Pentru a putea continua să utilizezi Codex, fă upgrade la Plus astăzi.","codex.upsellBanner.general.headline":"Limita tarifară se resetează la {resetDate}.","codex.upsellBanner.general.title":"Ai epuizat mesajele către Codex","codex.upsellBanner.go.trialHeadline":"Limita tarifară se va reseta la {resetDate}. Pentru a continua să folosești Codex, începe astăzi versiunea de încercare gratuită a planului Plus.","codex.upsellBanner.plus.headline":"Limita tarifară se resetează la {resetDate}. Pentru a putea continua să utilizezi Codex, adaugă credite sau fă upgrade la Pro astăzi.","codex.upsellBanner.pro.headline":"Limita tarifară se resetează la {resetDate}. Adaugă credite pentru a putea continua acum să folosești Codex.","codex.userMessage.autoResolveSync":"Soluționează automat conflictele","codex.userMessage.commentCount":"{count, plural, one {# comentariu} few {# comentarii} other {# de comentarii}}","codex.userMessage.copiedAriaLabel":"Copiat","codex.userMessage.copiedTooltip":"Copiat","codex.userMessage.copyAriaLabel":"Copiază mesajul","codex.userMessage.copyTooltip":"Copiază","codex.userMessage.implementPlan":"Implementează un plan","codex.userMessage.noContent":"(Niciun conținut)","codex.userMessage.priorConversation":"Inspiră-te din conversația anterioară","codex.userMessage.reviewMode":"Mod de revizuire","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"pentru {query}","codex.webSearch.summary.verb.completed":"S-a căutat pe web","codex.webSearch.summary.verb.inProgress":"Se caută pe web","codex.windowsInstallWslBanner.dismiss":"Ignoră","codex.windowsInstallWslBanner.installWslCta":"Activează mediul de testare","codex.windowsInstallWslBanner.learnMore":"Află mai multe","codex.windowsSandboxBanner.content":"Modul Agent utilizează un mediu de testare experimental în Windows pentru a limita accesul la sistemul de fișiere și la rețea. {sandboxLink}","codex.windowsSandboxBanner.title":"Activează mediul de testare pentru modul Agent","codex.windowsSubDropdown.windowsSandbox":"Mediu de testare Windows","codex.windowsSubDropdown.windowsSettings":"Setări Windows","codexUpgradeModal.body":"Cel mai recent model de codare cu agenți de ultimă generație: mai inteligent, mai rapid și mai performant în cadrul activităților tehnice generale. {link}","codexUpgradeModal.close":"Închide","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Află mai multe","codexUpgradeModal.title":"Îți prezentăm GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Încearcă acum GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Continuă cu modelul actual","commentAttachments.numComments":"{count, plural, one {# comentariu} few {# comentarii} other {# de comentarii}}","commentAttachments.removeAriaLabel":"Elimină atașamentul comentariilor","common.close":"Închide","composer.addContext.openFilePickerError":"Selectorul de fișiere nu poate fi deschis","composer.addContextDropdown.ariaLabel":"Adaugă fișiere și multe altele","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Adaugă fișiere și multe altele","composer.addPhotosAndFiles":"Adaugă fotografii și fișiere","composer.atMentionList.emptyQuery":"Tastează pentru a căuta fișiere","composer.atMentionList.loading":"Se caută…","composer.atMentionList.noResults":"Niciun rezultat","composer.attemptsSelector.option":"{count, plural, one {# versiune} few {# versiuni} other {# de versiuni}}","composer.attemptsSelector.tooltip":"Număr de încercări paralele pe care le face Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Oprește","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"Unde ar trebui să ruleze această acțiune ulterioară?","composer.cloudTaskCreationError":"Eroare la crearea sarcinii din cloud","composer.cloudTaskError":"Eroare la crearea sarcinii","composer.contextWindow.autoCompactionTooltipLine1":"Codex își compactează automat contextul","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Fereastră context:","composer.contextWindowUsageStatusFull":"Memorie plină în proporție de {usage}%","composer.contextWindowUsageStatusLeft":"{usage}% utilizat ({remaining}% rămas)","composer.contextWindowUsageTooltip":"{usedTokens}.000 / {contextWindow}.000 tokenuri utilizate","composer.customCliTooltip":"Se utilizează un executabil CLI personalizat","composer.dictation.aria":"Dictează","composer.dictation.cancel.aria":"Oprește dictarea","composer.dictation.cancel.tooltip":"Oprește dictarea","composer.dictation.startError":"Dictarea nu poate fi începută","composer.dictation.submit.aria":"Transcrie și trimite","composer.dictation.submit.tooltip":"Transcrie și trimite","composer.dictation.tooltip":"Menține pentru a dicta","composer.dictation.transcribeError":"Elementul audio nu poate fi transcris","composer.dictation.unsupported":"Dictarea nu este disponibilă pe acest dispozitiv","composer.dropOverlay.holdShift":"Menține {key} pentru a plasa","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Creează un mediu nou","composer.environmentSelector.error":"Eroare la încărcarea mediilor","composer.environmentSelector.goBack":"Înapoi la instrumentul de compunere","composer.environmentSelector.title":"Selectează mediu","composer.environmentSelector.tooltip":"Selectează un mediu cloud","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Selectează un fișier","composer.filePicker.selectFiles":"Selectează fișiere","composer.followerTooltip":"Pentru a putea continua, întoarce-te la fereastra unde a început această conversație.","composer.footer.branchSwitch.checkoutError":"Schimbarea ramificației nu a reușit: {message}","composer.footer.branchSwitch.createAndCheckout":"Creează și comută pe o ramificație nouă...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Validează modificările pentru a crea și a comuta pe o ramificație nouă","composer.footer.branchSwitch.createBranchError":"Crearea ramificației nu a reușit: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nume ramificație","composer.footer.branchSwitch.createDialog.branchExistsError":"Ramificația există deja.","composer.footer.branchSwitch.createDialog.close":"Închide","composer.footer.branchSwitch.createDialog.createAndCheckout":"Creează și comută","composer.footer.branchSwitch.createDialog.placeholder":"ramificație nouă","composer.footer.branchSwitch.createDialog.title":"Creează și comută pe o ramificație","composer.footer.branchSwitch.createDialog.trailingSlashError":"Numele ramificației nu se poate termina în „/”.","composer.footer.branchSwitch.tooltip":"Schimbă ramificația","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Validează modificările în {fileCount, plural, one {# fișier} few {# (de) fișiere} other {# (de) fișiere}} pentru a comuta {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Validează","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"modificări în {fileCount, plural, one {# fișier} few {# (de) fișiere} other {# (de) fișiere}} pentru a comuta {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Anulează","composer.footer.branchSwitch.uncommittedDialog.commit":"Validează și schimbă ramificația...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Modificările tale asupra următoarelor fișiere ar trebui să fie suprascrise prin comutare:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Validează-ți modificările pentru a continua","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ramificația selectată","composer.footer.branchSwitch.uncommittedDialog.title":"Validează modificările pentru a schimba ramificația","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nevalidate: {fileCount, plural, one {# fișier} few {# (de) fișiere} other {# (de) fișiere}}","composer.forkSlashCommand.description":"Bifurcă acest fir într-un arbore de lucru local sau nou","composer.forkSlashCommand.option.local.description":"Continuă într-un fir local nou","composer.forkSlashCommand.option.local.title":"Bifurcă local","composer.forkSlashCommand.option.worktree.description":"Continuă într-un arbore de lucru nou","composer.forkSlashCommand.option.worktree.title":"Bifurcă într-un arbore de lucru nou","composer.forkSlashCommand.title":"Creează o copie bifurcată","composer.ideContextIndicator":"Context IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Include contextul din IDE","composer.ideContextIndicator.tooltipToggle":"pentru a comuta","composer.ideContextSlashCommand.disableDescription":"Dezactivează contextul IDE","composer.ideContextSlashCommand.enableDescription":"Include selecția curentă, fișierele deschise și alte contexte din IDE","composer.ideContextSlashCommand.title":"Context IDE","composer.imageInputsUnsupported":"Acest model nu acceptă intrările de tip imagine. Încearcă un alt model.","composer.imageUploadFailed":"Nu s-a reușit încărcarea imaginii","composer.includeIdeContextDropdown":"Include contextul IDE","composer.includeIdeContextDropdown.ariaLabel":"Include contextul IDE","composer.localCwdDropdown.addWorkspaceRoot":"Adaugă un proiect nou","composer.localCwdDropdown.noActiveRoot":"Selectează-ți proiectul","composer.localCwdDropdown.noResults":"Nu a fost găsit niciun folder","composer.localCwdDropdown.title":"Selectează-ți proiectul","composer.localTaskError":"Eroare la începerea conversației","composer.mcpSlashCommand.description":"Afișează starea serverului MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Neautentificat","composer.mcpStatus.authOauth":"Autentificat (OAuth)","composer.mcpStatus.authToken":"Autentificat (cheie API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Închide","composer.mcpStatus.disabled":"Dezactivat","composer.mcpStatus.emptyLabel":"Servere:","composer.mcpStatus.emptyValue":"Niciun server MCP configurat","composer.mcpStatus.enabled":"Activat","composer.mcpStatus.errorLabel":"Stare:","composer.mcpStatus.errorValue":"Starea serverului MCP nu poate fi încărcată","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Schimbă modul","composer.mode.agentMode.custom":"Personalizează","composer.mode.agentMode.custom.dropdownLabel":"Personalizează","composer.mode.agentMode.custom.option":"Personalizează (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personalizează (config.toml)","composer.mode.agentMode.customInfo.cancel":"Anulează","composer.mode.agentMode.customInfo.cli":"Poți ajusta aceste setări din CLI sau editând fișierul direct.","composer.mode.agentMode.customInfo.confirm":"Utilizează modul personalizat","composer.mode.agentMode.customInfo.description":"Modul personalizat aplică politicile privind aprobarea și acțiunile care se pot rula într-un mediu de testare, definite în fișierul tău<link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Află mai multe despre configurarea politicilor privind aprobarea și acțiunile care se pot rula într-un mediu de testare în<link>documentele despre mediul de execuție</link>.","composer.mode.agentMode.customInfo.refresh":"Orice modificări devin aplicabile începând cu următoarea rulare a agentului.","composer.mode.agentMode.customInfo.title":"Cum funcționează modul personalizat","composer.mode.agentMode.fullAccess":"Agent (acces complet)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (acces complet)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (acces complet)","composer.mode.agentMode.fullAccessConfirm.caution":"Ai grijă atunci când activezi accesul complet. Această setare crește semnificativ riscul de pierderi, scurgeri de date sau comportament neașteptat.","composer.mode.agentMode.fullAccessConfirm.confirm":"Da, continuă oricum","composer.mode.agentMode.fullAccessConfirm.description":"Atunci când Codex rulează cu acces complet, poate edita orice fișier din computerul tău și poate rula comenzi legate de rețea, fără aprobarea ta.","composer.mode.agentMode.fullAccessConfirm.goBack":"Anulează","composer.mode.agentMode.fullAccessConfirm.title":"Activezi accesul complet?","composer.mode.agentMode.readOnly":"Discuție","composer.mode.agentMode.readOnly.dropdownLabel":"Discuție","composer.mode.agentMode.readOnly.optionLabel":"Discuție","composer.mode.agentMode.tooltip":"Schimbă modul","composer.mode.agentMode.tooltip.auto":"Citește și editează fișiere și rulează comenzi.","composer.mode.agentMode.tooltip.custom":"Utilizează cele mai recente politici privind aprobarea și acțiunile care se pot rula într-un mediu de testare, definite în config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex poate edita fișiere în afara acestui proiect și poate rula comenzi cu acces la rețea. Ai grijă atunci când utilizezi acest mod.","composer.mode.agentMode.tooltip.readOnly":"Necesită aprobare pentru editarea fișierelor și rularea comenzilor.","composer.mode.cloud.tooltip":"Lucrează într-un mediu cloud","composer.mode.contactAdmin":"Contactează administratorul pentru a obține acces extins","composer.mode.local":"Local","composer.mode.local.learnMore":"Află mai multe","composer.mode.local.model.custom":"Personalizează","composer.mode.local.model.loadingModel":"Se încarcă modelul","composer.mode.local.model.selecrReasoningEffort":"Selectează dezvoltarea un raționament","composer.mode.local.model.selectModel":"Selectează modelul","composer.mode.local.model.tooltip":"Alege modelul","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Nivel ridicat","composer.mode.local.reasoning.low.label":"Nivel scăzut","composer.mode.local.reasoning.medium.label":"Nivel mediu","composer.mode.local.reasoning.minimal.label":"Minim","composer.mode.local.reasoning.none.label":"Fără","composer.mode.local.reasoning.xhigh.label":"Foarte ridicat","composer.mode.localRemoteWhereRun":"Selectează unde să ruleze sarcina","composer.mode.newTask.header":"Continuă în","composer.mode.rateLimit.day":"{days} (de) zi(le)","composer.mode.rateLimit.heading":"Limite tarifare rămase","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Limită {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {limită săptămânală} few {limita pentru {weeks} săptămâni} other {limita pentru {weeks} de săptămâni}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Săptămânal} few {{weeks} săptămâni} other {{weeks} de săptămâni}}","composer.mode.remote.connectToCloud":"Conectează Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Configurează un mediu prin intermediul Codex web pentru a activa trimiterea sarcinilor în cloud","composer.mode.remote.selectEnvironment":"Selectează mediu","composer.mode.remote.sendToCloud":"Trimite în cloud","composer.mode.remote.setupViaWeb":"Configurează un mediu prin intermediul Codex web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Lucrează în mediul cloud","composer.mode.segmentedToggle.local.tooltip":"Lucrează în proiectul tău local","composer.mode.segmentedToggle.worktree.tooltip":"Lucrează într-un arbore de lucru paralel","composer.mode.upgradeToPlus":"Fă upgrade la Plus","composer.mode.upgradeToPro":"Fă upgrade la Pro","composer.mode.workLocally":"Proiect local","composer.mode.workLocally.currentBranchFallback":"ramificația ta","composer.mode.workLocally.tooltip":"Lucrează în {branchName}","composer.mode.worktree":"Arbore de lucru nou","composer.mode.worktree.submoduleWarning":"Acest depozit are submodule git. Crearea arborelui de lucru poate eșua","composer.mode.worktree.tooltip":"Creează o copie a proiectului tău local pentru a lucra în paralel","composer.mode.worktreeSegment":"Arbore de lucru","composer.modelChangeDuringConversationWarning.toast":"Schimbarea modelelor în timpul unei conversații va afecta negativ performanța.","composer.newChat.heading.browser":"Ce să codăm în continuare?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex folosește permisiunea definită în config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex are acces deplin la computerul tău (risc crescut)","composer.permissionsDropdown.custom.label":"Personalizează (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personalizează (config.toml)","composer.permissionsDropdown.default.label":"Permisiuni implicite","composer.permissionsDropdown.default.optionLabel":"Permisiuni implicite","composer.permissionsDropdown.default.tooltip":"Codex execută automat comenzi într-un mediu de testare","composer.permissionsDropdown.disabled.requirements":"Permisiunile sunt blocate de requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Accesul complet este dezactivat de requirements.toml","composer.permissionsDropdown.fullAccess.label":"Acces complet","composer.permissionsDropdown.fullAccess.optionLabel":"Acces complet","composer.permissionsDropdown.trigger.tooltip":"Schimbă permisiunile","composer.personalitySlashCommand.description.friendly":"Cald, cooperant și săritor","composer.personalitySlashCommand.description.pragmatic":"Concis, atent și direct","composer.personalitySlashCommand.label.friendly":"Prietenos","composer.personalitySlashCommand.label.pragmatic":"Pragmatic","composer.personalitySlashCommand.notApplicableSuffix":"(Nu se aplică pentru modelul actual)","composer.personalitySlashCommand.title":"Personalitate","composer.placeholder.cloudFollowUp.directFollowUp":"Urmărește această sarcină în cloud","composer.placeholder.cloudFollowUp.local":"Creează o nouă sarcină locală care se inspiră din această sarcină din cloud","composer.placeholder.cloudFollowUp.workingTree":"Creează o nouă sarcină în cloud care include codul tău curent și care se inspiră din această sarcină","composer.placeholder.localFollowUp.cloud":"Urmărește în cadrul unei noi sarcini în cloud","composer.placeholder.localFollowUp.locally":"Solicită modificări de urmărire","composer.placeholder.newTask.cloud":"Cere aplicației Codex să facă orice în cloud","composer.placeholder.newTask.doAnything":"Cere aplicației Codex să facă orice","composer.placeholder.newTask.locally":"Întreabă-l pe agentul Codex orice, introdu „@” pentru a adăuga fișiere și „/” pentru comenzi","composer.planModeDropdown":"Mod plan","composer.planModeDropdown.ariaLabel":"Mod plan","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Creează un plan cu ajutorul Codex","composer.planModeIndicator.tooltipToggle":"pentru a comuta","composer.planSlashCommand.disableDescription":"Dezactivează modul planului","composer.planSlashCommand.enableDescription":"Activează modul planului","composer.planSlashCommand.title":"Mod plan","composer.priorContext.label":"Contextul anterior","composer.priorContext.removeAriaLabel":"Elimină contextul anterior","composer.queuedMessage.delete":"Șterge mesajul plasat în coadă","composer.queuedMessage.edit":"Editează mesajul","composer.queuedMessage.more":"Acțiuni mesaj plasat în coadă","composer.queuedMessage.sendNow":"Ghidează","composer.queuedMessage.sendNowTooltip":"Trimite acum fără a întrerupe activitatea","composer.queuedMessage.turnOff":"Dezactivează plasarea în coadă","composer.reasoningEffort.local.reasoning.tooltip":"Selectează efortul la dezvoltarea unui raționament","composer.remote.branchStartingPoint":"De la ce ramificație ar trebui să pornească această sarcină?","composer.remote.branchesSectionHeading":"Ramificații","composer.remote.currentEditsSuffix.followUp":"Creează o sarcină nouă care se inspiră această sarcină din cloud.","composer.remote.currentEditsSuffix.useLocal":"cu modificări locale ale codului","composer.remote.directFollowUp":"Nu utiliza modificările locale","composer.remote.errorLoadingBranches":"Eroare la încărcarea ramificațiilor","composer.remote.fromBranch":"Din {branch}","composer.remote.fromCurrentBranch":"Din ramificația {branch} (curentă)","composer.remote.loadingMoreBranches":"Se încarcă…","composer.remote.localFileStateHeading":"Starea fișierului local","composer.remote.localWorkingTree":"Utilizează modificările locale","composer.remote.startingPoint":"De la ce cod ar trebui să pornească această sarcină?","composer.reviewMode.branches.error":"Ramificațiile nu pot fi încărcate","composer.reviewMode.branches.retry":"Reîncearcă","composer.reviewMode.gitRoot.error":"Nu a fost găsită rădăcina git","composer.reviewMode.option.baseBranch.simple":"Revizuiește în comparație cu o ramificație de bază","composer.reviewMode.option.unstaged.simple":"Revizuiește modificările nevalidate","composer.reviewMode.quickReviewError":"Pornirea revizuirii codului a eșuat.","composer.reviewMode.title":"Revizuire cod","composer.sandboxButton.unlock.disabled.tooltip":"Accesul complet este dezactivat de requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex poate utiliza un mediu de testare experimental în Windows pentru a limita accesul la sistemul de fișiere și la rețea. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Activezi mediul de testare Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Folosește doar în citire","composer.searchEnvironments":"Caută medii","composer.skillMentionList.app":"Aplicație","composer.skillMentionList.loading":"Se încarcă abilități...","composer.skillMentionList.noResults":"Nu s-a găsit nicio abilitate","composer.slashCommands.cloudEnvironment.title":"Mediu cloud","composer.slashCommands.dialogLabel":"Meniu comenzi de tip slash","composer.slashCommands.dialogTitle":"Comenzi de tip slash","composer.slashCommands.disabledTooltip":"Începe o conversație nouă pentru a utiliza comenzi de tip slash","composer.slashCommands.inputPlaceholder":"Caută","composer.slashCommands.noResults":"Nicio comandă","composer.slashCommands.skillsGroup":"Abilități","composer.slashCommands.tooltip":"Caută comenzi de tip slash","composer.status.close":"Închide","composer.statusPlain.alertLabel":"Alertă:","composer.statusPlain.alertValue":"Disponibilitate rămasă: {remaining}% în perioada {window}","composer.statusPlain.contextLabel":"Context:","composer.statusPlain.contextTotal":"{count} (de) mii","composer.statusPlain.contextValueMetadata":"(utilizate: {used}/{total})","composer.statusPlain.contextValueRemaining":"Disponibilitate rămasă: {remaining}%","composer.statusPlain.heading":"Stare","composer.statusPlain.modelRateLimitSectionLabel":"Limită {modelName}:","composer.statusPlain.rateLimitDays":"Limită: {count} (de) zi(le)","composer.statusPlain.rateLimitFallbackLabel":"Limită tarifară:","composer.statusPlain.rateLimitHours":"Limită: {count} (de) oră(e)","composer.statusPlain.rateLimitLabelBase":"Limită tarifară","composer.statusPlain.rateLimitMinutes":"Limită: {count} (de) minut(e)","composer.statusPlain.rateLimitPercent":"Disponibilitate rămasă: {remaining}%","composer.statusPlain.rateLimitReset":"se resetează la {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"ora resetării nu este disponibilă","composer.statusPlain.rateLimitUnavailable":"Indisponibile","composer.statusPlain.sessionCopiedAriaLabel":"ID sesiune copiat","composer.statusPlain.sessionCopiedTooltip":"ID copiat","composer.statusPlain.sessionCopyAriaLabel":"Copiază ID-ul sesiunii","composer.statusPlain.sessionCopyTooltip":"Copiază ID-ul","composer.statusPlain.sessionLabel":"Sesiune:","composer.statusSlashCommand.description":"Afișează ID-ul firului, utilizarea contextului și limitele tarifare","composer.statusSlashCommand.title":"Stare","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Mesajul nu a putut fi trimis","composer.submit.emptyMessage":"Introdu un mesaj pentru a începe","composer.submit.imageInputsUnsupported":"Pentru a trimite acest mesaj, elimină imaginile sau schimbă modelul.","composer.submit.loadingLocalConfig":"Se încarcă…","composer.submit.missingCloudConfig":"Trebuie să alegi un mediu cloud","composer.submit.missingCloudTurn":"Nu pot fi create acțiuni ulterioare pentru această sarcină","composer.submit.noWorkspace":"Adaugă un proiect pentru a folosi Codex","composer.submit.waitForImageUploads":"Se încarcă imaginile…","composer.submitButtonTooltip.send":"Trimite","composer.submitButtonTooltip.stop":"Oprește","composer.worktreeEnvironment.create":"Creează un mediu local","composer.worktreeEnvironment.default":"Mediu implicit","composer.worktreeEnvironment.error":"Eroare la încărcarea mediilor","composer.worktreeEnvironment.loading":"Se încarcă mediile...","composer.worktreeEnvironment.title":"Mediu local","composer.worktreeEnvironment.tooltip":"Selectează un mediu local","composer.worktreeSetupFailed":"Configurarea arborelui de lucru a eșuat. Verifică în .codex/environments pentru un script de configurare.","compoundButton.secondaryAction":"Acțiune secundară","copyButton.copied":"Copiat","copyButton.copiedAriaLabel":"Copiat","copyButton.copy":"Copiază","copyButton.copyAriaLabel":"Copiază","copyButton.copyCode":"Copiază codul","diff.actionButton.revertFile":"Anulare modificări la fișier","diff.actionButton.revertHunk":"Anulare modificări","diff.actionButton.revertSection":"Anulează tot","diff.actionButton.revertSectionLabel":"Anulează tot","diff.actionButton.stageFile":"Etapizează fișier","diff.actionButton.stageHunk":"Etapizează","diff.actionButton.stageSection":"Etapizează tot","diff.actionButton.stageSectionLabel":"Etapizează tot","diff.actionButton.unstageFile":"Anulează etapizarea fișierului","diff.actionButton.unstageHunk":"Anulează etapizarea","diff.actionButton.unstageSection":"Anulează etapizarea peste tot","diff.actionButton.unstageSectionLabel":"Anulează etapizarea peste tot","diff.fileHeader.toggle":"Comută la diferențele fișierului","electron.onboarding.login.apikey.cancel":"Anulează","electron.onboarding.login.apikey.continue":"Continuă","electron.onboarding.login.apikey.label":"Cheie API OpenAI","electron.onboarding.login.apikey.open":"Introdu cheia API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Anulează conectarea","electron.onboarding.login.chatgpt.continue":"Continuă cu ChatGPT","electron.onboarding.login.devbox":"Conectează-te prin SSH la distanță","electron.onboarding.login.error":"Conectare eșuată: {rawMessage}","electron.onboarding.login.snake.start":"Joacă Snake","electron.onboarding.login.sshConfig.cancel":"Anulează","electron.onboarding.login.sshConfig.continue":"Continuă","electron.onboarding.login.sshConfig.hostnameLabel":"Nume de gazdă SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Cea mai bună modalitate de a construi cu agenți","electron.onboarding.login.title":"Bine ai venit la Codex!","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuă","electron.onboarding.welcome.doubleLimits.description":"Pentru a celebra lansarea aplicației Codex, beneficiezi de o limită de tarifare dublă până pe 2 aprilie.","electron.onboarding.welcome.freego.description":"Codex este inclus gratuit în planul tău până pe 2 martie. Să începem să construim împreună.","electron.onboarding.welcome.new.title.anon":"Bine ai venit!","electron.onboarding.workspace.continue":"Continuă","electron.onboarding.workspace.empty":"Adaugă un proiect pentru a continua.","electron.onboarding.workspace.listLabel":"Proiecte disponibile","electron.onboarding.workspace.loading":"Se încarcă proiectele...","electron.onboarding.workspace.openFolder":"Adaugă proiect","electron.onboarding.workspace.selectAll":"Selectează tot","electron.onboarding.workspace.skip":"Omite","electron.onboarding.workspace.skip.error":"Nu am putut crea un proiect nou: {message}","electron.onboarding.workspace.skip.error.unknown":"Eroare necunoscută","electron.onboarding.workspace.skipping":"Se creează un proiect nou...","electron.onboarding.workspace.subtitle":"Codex va putea edita fișiere și executa comenzi în folderele selectate.","electron.onboarding.workspace.title":"Selectează un proiect","errorPage.list.checkSettings":"Încearcă să-ți actualizezi setările IDE","errorPage.list.configToml":"Verifică fișierul tău config.toml pentru eventuale setări nevalide","errorPage.list.downloadExtension":"Încearcă să descarci o versiune diferită a extensiei","errorPage.list.runInWsl":"Dacă observi probleme de compatibilitate, verifică-ți setările pentru a dezactiva rularea în WSL","execApprovalRequest.menu.runAlways":"Da și nu mai întreba în această sesiune","execApprovalRequest.menu.runAlwaysWithAmendment":"Da, și nu mai întreba în cazul comenzilor care încep cu {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Da, și nu mai întreba în cazul comenzilor care încep cu","execApprovalRequest.menu.runOnce":"Da","execApprovalRequest.prompt":"Dorești să execuți această comandă?","execApprovalRequest.reject":"Nu","execFooter.exitCode":"Cod de ieșire {code}","execFooter.exitCode.unknown":"necunoscut","execFooter.success":"Succes","feedback.dialog.category.badResult":"Rezultat incorect","feedback.dialog.category.bug":"Eroare","feedback.dialog.category.goodResult":"Rezultat bun","feedback.dialog.category.other":"Altceva","feedback.dialog.descriptionPlaceholder":"Descrie aici problema","feedback.dialog.dismiss":"Ignoră","feedback.dialog.includeLogsLabel":"Include jurnalele sesiunii Codex actuale","feedback.dialog.submit":"Trimite","feedback.dialog.submitError":"Nu am putut trimite feedbackul. Încearcă din nou în scurt timp.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"problema deschisă existentă","feedback.dialog.uploadedMessage.openIssue":"deschide o problemă GitHub","feedback.dialog.uploadedMessage.withThread":"Feedbackul a fost încărcat. Dacă problema persistă, {openIssueLink} sau menționează ID-ul firului conversației în {existingIssueLink}:","feedback.dialog.uploadedTitle":"Feedbackul a fost încărcat","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Elimină {filename}","header.back":"Înapoi","header.recentChats":"Sarcini","header.recentTasks.seeAll":"Vizualizează tot ({total})","home.header.getPlus":"Treci la Plus","home.hero.letsBuild":"Să construim","homePage.mainContent":"Conținut principal","imageAttachment.defaultName":"imagine","imageAttachment.preview.close":"Închide previzualizarea imaginii","imageAttachment.removeAriaLabel":"Elimină {filename}","implementPlanRequest.option.implement":"Da, implementează acest plan","implementPlanRequest.prompt":"Implementezi acest plan?","inbox.archived.deleteError":"Rularea arhivată nu a putut fi ștearsă","inbox.archived.deleteRun":"Șterge rularea arhivată","inbox.archived.deleteSuccess":"Firul arhivat a fost șters. Vizualizează în <settingsLink>Fire arhivate</settingsLink>.","inbox.archived.inlineLabel.auto":"Acest fir a fost arhivat automat. <learnMoreLink>Află mai multe</learnMoreLink>","inbox.archived.inlineLabel.manual":"Acest fir a fost arhivat.","inbox.archived.noMessageFound":"Nu a fost găsit niciun mesaj","inbox.automations.createError":"Automatizarea nu a putut fi creată","inbox.automations.deleteConfirm.cancel":"Anulează","inbox.automations.deleteConfirm.confirm":"Șterge automatizarea","inbox.automations.deleteConfirm.description":"Această acțiune va șterge definitiv automatizarea și va opri toate rulările viitoare.","inbox.automations.deleteConfirm.title":"Ștergi {name}?","inbox.automations.deleteError":"Automatizarea nu a putut fi ștearsă","inbox.automations.editTooltip":"Editează automatizarea","inbox.automations.inProgress":"În curs","inbox.automations.new":"Nou","inbox.automations.newToolbar":"Automatizare nouă","inbox.automations.pauseTooltip":"Întrerupe automatizarea","inbox.automations.resumeTooltip":"Reia automatizarea","inbox.automations.startingNow":"Se pornește acum","inbox.automations.startsIn":"Automatizarea începe în {startTime}","inbox.automations.status.active":"Active","inbox.automations.status.paused":"În pauză","inbox.automations.status.runs":"{count} (de) rulări","inbox.automations.status.started":"Automatizare începută la {date}","inbox.automations.updateError":"Automatizarea nu a putut fi actualizată","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Toate","inbox.filter.ariaLabel":"Filtrează elementele din inbox","inbox.filter.unread":"Necitite","inbox.list.archived":"Arhivat(e)","inbox.list.inProgress":"În curs","inbox.list.recent":"Finalizate","inbox.list.upNext":"Programată(e)","inbox.mode.automations":"Automatizări","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nu a fost furnizată nicio descriere","inbox.openThread":"Deschide firul","inbox.rightPanel.emptySubtitle":"Automatizează-ți munca prin configurarea sarcinilor programate","inbox.rightPanel.emptySubtitle.learnMore":"Automatizează activitățile prin configurarea unor fire programate. <link>Află mai multe</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatizare activă} few {# automatizări active} other {# de automatizări active}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nu există automatizări necitite","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatizare necitită} few {# automatizări necitite} other {# de automatizări necitite}}","inbox.rightPanel.emptyTitle":"Niciun element selectat","inbox.rightPanel.noThread":"Niciun fir legat de acest element","inbox.rightPanel.quickStart.header":"Începe cu un șablon","inbox.untitled":"Articol fără titlu din inbox","loadingPage.documentationLink":"documentație","loadingPage.errorDescription":"Codex a eșuat, prezentând următoarea eroare:","loadingPage.errorDescription.documentation":"Apasă pe Reîncarcă pentru a reporni extensia Codex sau accesează {documentationLink} pentru ajutor suplimentar.","loadingPage.errorSignal":"Iată câteva lucruri pe care le poți încerca:","loadingPage.errorTitle":"A apărut o eroare","loadingPage.openConfigToml":"Deschide Config.toml","loadingPage.reload":"Reîncarcă","localConversation.contextCompacted":"Context compactat automat","localConversation.contextCompacting":"Se compactează automat textul","localConversation.forkedFromConversation":"Bifurcată din {threadTitle}","localConversation.merge.autoResolve.failed":"Solicitarea de rezolvare automată a eșuat: {error}","localConversation.merge.autoResolve.sent":"Solicitarea de rezolvare automată a fost trimisă","localConversation.merge.autoResolveMerge.missingConversation":"Rezolvarea automată e imposibilă dacă nu e deschisă o conversație activă.","localConversation.merge.autoResolveMerge.request":"Rezolvă automat conflictele de îmbinare","localConversation.modelChanged":"Model schimbat din {fromModel} în {toModel}.","localConversation.modelChanged.warning.line1":"Schimbarea modelelor în timpul unei conversații va afecta negativ performanța.","localConversation.modelChanged.warning.line2":"Contextul se poate compacta automat","localConversation.moveThread.createBranch.label":"Creează o ramificație","localConversation.moveToLocal.disabled.loading":"Se încarcă…","localConversation.moveToLocal.modal.continue":"Continuă","localConversation.moveToLocal.modal.destinationLabel":"Mută ​​în","localConversation.moveToLocal.modal.retry":"Reîncearcă","localConversation.moveToWorktree.modal.back":"Înapoi","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Ramificația există deja.","localConversation.moveToWorktree.modal.branchesError":"Ramificațiile nu pot fi încărcate","localConversation.moveToWorktree.modal.branchesLoading":"Se încarcă ramificațiile...","localConversation.moveToWorktree.modal.branchesRetry":"Reîncearcă","localConversation.moveToWorktree.modal.continue":"Continuă","localConversation.moveToWorktree.modal.retry":"Reîncearcă","localConversation.moveToWorktree.modal.trailingSlashError":"Numele ramificației nu se poate termina în „/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ramificație nouă","localConversation.personalityChanged":"Ai schimbat în personalitatea {personality}","localConversation.planSummary.collapse":"Restrânge rezumatul planului","localConversation.planSummary.collapseTooltip":"Restrânge","localConversation.planSummary.download":"Descarcă planul","localConversation.planSummary.expand":"Extinde rezumatul planului","localConversation.planSummary.expandTooltip":"Extinde","localConversation.planSummary.openInNewWindow":"Deschide","localConversation.planSummary.openInNewWindow.tooltip":"Deschide într-o fereastră nouă","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plan de scriere","localConversation.planSummary.viewPlan":"Extinde planul","localConversation.remoteTaskCreated":"Sarcina {taskLink} a fost creată în cloudul Codex","localConversation.remoteTaskCreated.task":"sarcină","localConversation.scrollToBottomButton":"Derulează până jos","localConversation.sync.buttonLabel":"Predă ramificației locale","localConversation.sync.buttonLabel.tooltip":"Predă modificările dintre acest arbore de lucru și comutarea ta locală.","localConversation.sync.modal.loading.title":"Se predau modificările...","localConversation.sync.modal.noChanges":"Nicio modificare","localConversation.syncSetup.branchAriaLabel":"Nume ramificație","localConversation.syncSetup.branchName":"Nume ramificație","localConversation.syncSetup.branchPlaceholder.existing":"Selectează ramificația existentă","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Se încarcă ramificațiile...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"A fost comutată deja","localConversation.syncSetup.checkoutClean":"Ramificație curentă: {branchName}","localConversation.syncSetup.checkoutDirty":"Momentan la {branchName} cu modificări nevalidate","localConversation.syncSetup.checkoutError":"Comutarea ramificației a eșuat: {message}","localConversation.syncSetup.checkoutLabel":"Comută local acum","localConversation.syncSetup.checkoutOnLocal":"Predă ramificației locale","localConversation.syncSetup.checkoutPending":"Se verifică starea spațiului de lucru local...","localConversation.syncSetup.checkoutUnavailable":"Spațiul de lucru local nu este disponibil","localConversation.syncSetup.checkoutUnknown":"Ramificația locală este indisponibilă","localConversation.syncSetup.continue":"Continuă","localConversation.syncSetup.createBranchError":"Setarea ramificației de predare a eșuat: {message}","localConversation.syncSetup.error":"Ceva nu a funcționat corect: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nu am putut realiza un instantaneu al arborelui de lucru. Reîncearcă predarea.","localConversation.syncSetup.mode.ariaLabel":"Selectează modul ramificației","localConversation.syncSetup.mode.existing":"Ramificație existentă","localConversation.syncSetup.mode.new":"Ramificație nouă","localConversation.syncSetup.noBranches":"Nu a fost găsită nicio ramificație","localConversation.syncSetup.overwriteError":"Ramificația a fost creată, însă nu a fost predată complet. Predă-o manual înainte de a comuta local.","localConversation.syncSetup.setPrefix":"Stabilește prefix","localConversation.syncSetup.subtitle":"Testează și editează local modificările arborelui de lucru. <a>Află mai multe</a>","localConversation.syncSetup.success.checkedOut":"Ramificația a fost creată și este comutată local","localConversation.syncSetup.success.notCheckedOut":"Ramificația a fost creată","localConversation.syncSetup.title":"Predă unei ramificații locale","localConversation.syncWorktreeError.branchAriaLabel":"Nume ramificație","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Alege o ramificație căreia să o predai, după care reîncearcă să încarci modificările.","localConversation.syncWorktreeError.branchSetup.title":"Actualizează ramificația","localConversation.syncWorktreeError.branchUpdate.cta":"Actualizează și reîncearcă","localConversation.syncWorktreeError.branchUpdate.error":"Actualizarea ramificației a eșuat: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Ceva nu a funcționat corect: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Ramificația nu este comutată în niciun arbore de lucru.","localConversation.syncWorktreeV2.applyUncommitted":"Aplică","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Trebuie să comuți local în ramificație pentru a aplica modificările nevalidate","localConversation.syncWorktreeV2.branches.empty":"Nu a fost găsită nicio ramificație","localConversation.syncWorktreeV2.branches.loading":"Se încarcă ramificațiile...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Modifică ramificația de predare","localConversation.syncWorktreeV2.changeBranch.error":"Modificarea ramificației de predare a eșuat: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Aplicarea a eșuat","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Suprascrierea arborelui de lucru a eșuat","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Suprascrierea ramificației locale a eșuat","localConversation.syncWorktreeV2.commandError.back":"Înapoi","localConversation.syncWorktreeV2.commandError.body":"O comandă git a eșuat în timpul predării. Revizuiește rezultatul și reîncearcă.","localConversation.syncWorktreeV2.commandError.retry":"Reîncearcă","localConversation.syncWorktreeV2.description":"Predă modificările dintre ramificația locală și acest arbore de lucru <a>Află mai multe</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Selectează direcția de predare","localConversation.syncWorktreeV2.error.generic":"Ceva nu a funcționat corect în timpul predării. Încearcă din nou.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"Se calculează modificările","localConversation.syncWorktreeV2.noChanges.summary":"Nicio modificare","localConversation.syncWorktreeV2.overwrite.local":"Suprascrie ramificația locală","localConversation.syncWorktreeV2.overwrite.worktree":"Suprascrie arborele de lucru","localConversation.syncWorktreeV2.partial.action.applyFailed":"Modificările nu au putut fi aplicate","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nu am putut suprascrie modificările locale","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nu am putut suprascrie modificările arborelui de lucru","localConversation.syncWorktreeV2.partial.appliedLabel":"Aplicate","localConversation.syncWorktreeV2.partial.back":"Înapoi","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Soluționează conflictele și încearcă din nou.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflicte","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fișier} few {# (de) fișiere} other {# (de) fișiere}}","localConversation.syncWorktreeV2.partial.retry":"Reîncearcă","localConversation.syncWorktreeV2.partial.skippedLabel":"Omis","localConversation.syncWorktreeV2.stateFailed.generic":"Ceva nu a funcționat corect în timpul preluării modificărilor arborelui de lucru pentru predare. Încearcă din nou.","localConversation.syncWorktreeV2.stateFailed.title":"Nu s-a reușit încărcarea modificărilor arborelui de lucru","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nu s-a reușit încărcarea modificărilor arborelui de lucru.","localConversation.syncWorktreeV2.statusError.retry":"Reîncearcă","localConversation.syncWorktreeV2.statusError.title":"Nu am putut încărca modificările ramificației locale","localConversation.syncWorktreeV2.statusError.unknown":"Starea ramificației nu este momentan disponibilă. Încearcă din nou.","localConversation.syncWorktreeV2.success.apply":"Modificările au fost aplicate cu succes","localConversation.syncWorktreeV2.success.overwrite":"Predarea a avut succes","localConversation.syncWorktreeV2.title":"Predă modificările","localConversation.syncWorktreeV2.worktreeLabel":"Arbore de lucru","localConversation.userInputRequest.inProgress":"Sunt adresate {count, plural, one {întrebare} few {întrebări} other {de întrebări}}","localConversation.userInputRequest.noAnswer":"Nu a fost furnizat un răspuns","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Adresate","localConversation.userInputRequest.summary.count":"{count, plural, one {# întrebare} few {# întrebări} other {# de întrebări}}","localConversation.workedFor":"A lucrat timp de {time}","localConversation.worktreeBranchSetup.action.create":"Creează","localConversation.worktreeBranchSetup.branchAriaLabel":"Nume ramificație","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Creează o ramificație nouă","localConversation.worktreeBranchSetup.checkoutDisabled":"Ramificația aceasta este deja comutată în {location}","localConversation.worktreeBranchSetup.checkoutError":"Comutarea ramificației a eșuat: {message}","localConversation.worktreeBranchSetup.createBranchError":"Setarea ramificației a eșuat: {message}","localConversation.worktreeBranchSetup.error":"Ceva nu a funcționat corect: {message}","localConversation.worktreeBranchSetup.subtitle":"Creează o ramificație pentru a valida modificările, a le trimite și a crea un PR din acest arbore de lucru. <a>Află mai multe</a>","localConversation.worktreeBranchSetup.title":"Lucrează aici","localConversationPage.addWorktreeToSidebar.tooltip":"Salvează ca proiect astfel încât să poți porni fire noi de la acest arbore de lucru","localConversationPage.addWorktreeToSidebarError":"Proiectul nu a putut fi adăugat","localConversationPage.commitAndCreatePrModal.errorTitle":"Validarea și crearea PR-ului nu au reușit","localConversationPage.commitAndCreatePrModal.successTitle":"PR-ul a fost validat și creat","localConversationPage.commitAndPushModal.errorTitle":"Validarea și trimiterea nu au reușit","localConversationPage.commitAndPushModal.successTitle":"Modificările au fost validate și trimise","localConversationPage.commitCreatePr.open":"Deschide pull requestul","localConversationPage.commitCreatePr.successTitle":"PR-ul a fost creat cu cele mai recente modificări ale tale","localConversationPage.createBranchButtonLabel":"Ramifică în acest punct","localConversationPage.createPrModal.baseBranch":"Bază","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Creează PR","localConversationPage.createPrModal.createDescription":"Deschide un pull request privind cele mai recente modificări.","localConversationPage.createPrModal.errorTitle":"Pull request nereușit","localConversationPage.createPrModal.headBranch":"Vârf","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Deschide PR","localConversationPage.createPrModal.successTitle":"Pull request creat","localConversationPage.createPrModal.title":"Creează pull request","localConversationPage.createPrModal.viewDescription":"Există deja un pull request pentru această ramificație.","localConversationPage.createPrModal.viewTitle":"Pull request existent","localConversationPage.createPullRequestAuthGh":"Autentifică-te pe GitHub CLI: rulează `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informațiile despre ramificație nu sunt disponibile","localConversationPage.createPullRequestButtonLabel":"Creează PR","localConversationPage.createPullRequestButtonLabel.loading":"Se creează PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Informațiile implicte despre ramificație nu sunt disponibile","localConversationPage.createPullRequestError":"Pull requestul nu a putut fi creat","localConversationPage.createPullRequestExistingPullRequest":"Există deja un pull request pentru această ramificație","localConversationPage.createPullRequestGhStatusMissing":"Se încarcă starea GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Instalează GitHub CLI (gh) pentru a crea PR-uri","localConversationPage.createPullRequestNoRepo":"Nu a fost găsit niciun depozit git","localConversationPage.createPullRequestPushStatusMissing":"Se încarcă starea trimiterii…","localConversationPage.createPullRequestSetUpstream":"Publică (Push) această ramificație înainte de a crea un PR","localConversationPage.createPullRequestSuccessToast":"Pull request creat","localConversationPage.createPullRequestSwitchBranch":"Fă check-out pe o ramificație de feature înainte de a crea un PR","localConversationPage.error.render":"Eroare la redarea conversației locale","localConversationPage.error.toast":"Conversația nu a fost găsită","localConversationPage.forcePushError":"Trimiterea forțată nu a reușit","localConversationPage.generatePullRequestMessageError":"Generarea titlului și corpului pull requestului a eșuat","localConversationPage.generatePullRequestMessageFailed":"Generarea titlului și corpului pull requestului a eșuat.","localConversationPage.gitActionResult.branch":"Ramificație","localConversationPage.gitActionResult.cancel":"Anulează","localConversationPage.gitActionResult.close":"Închide","localConversationPage.gitActionResult.tryAgain":"Încearcă din nou","localConversationPage.gitActions":"Acțiuni git","localConversationPage.newChat":"Discuție nouă","localConversationPage.openInTarget":"Deschide în","localConversationPage.openPrimaryTarget":"Deschide","localConversationPage.planItemsCompleted":"{completedItems} din {totalItems, plural, one {# sarcină finalizată} few {# sarcini finalizate} other {# de sarcini finalizate}}","localConversationPage.pushAuthError":"Notificarea de tip push a eșuat: este necesară autentificarea","localConversationPage.pushBranchMissing":"Informațiile despre ramificație nu sunt disponibile","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Trimitere în curs...","localConversationPage.pushError":"Modificările nu au putut fi trimise","localConversationPage.pushModal.branchLabel":"Ramificație","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Anulează","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Trimite cele mai recente validări către depozitul de la distanță.","localConversationPage.pushModal.errorTitle":"Trimiterea nu a reușit","localConversationPage.pushModal.forcePush":"Trimite forțat","localConversationPage.pushModal.successTitle":"Trimitere finalizată","localConversationPage.pushModal.title":"Trimite modificările","localConversationPage.pushModal.tryAgain":"Încearcă din nou","localConversationPage.pushNoUpstream":"Stabilește un upstream înainte de a publica (push) această ramificație","localConversationPage.pushNoUpstreamError":"Trimiterea nu a reușit: nu există configurări în amonte","localConversationPage.pushNothingToPush":"Nu există comiteri noi de publicat","localConversationPage.pushRemoteChangedError":"Trimiterea nu a reușit: există validări noi în depozitul de la distanță","localConversationPage.pushRemoteRejectedError":"Trimitere respinsă de către depozitul de la distanță","localConversationPage.pushStatusMissing":"Se încarcă starea trimiterii…","localConversationPage.pushSuccessToast":"Modificările au fost trimise","localConversationPage.viewPullRequestButtonLabel":"Vizualizează PR","localConversationPage.viewPullRequestButtonLabel.loading":"Se încarcă pull requestul...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fișier} few {# fișiere} other {# de fișiere}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# listă} few {# liste} other {# de liste}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# căutare} few {# căutări} other {# de căutări}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Se explorează","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Explorat(e)","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} explorat(e)","localConversationTurnStory.showContent":"Afișează conținutul","localConversationTurnStory.streamContent":"Redă în flux conținutul","localConversationTurnStory.toggleReasoning":"Afișează raționamentul","localTaskRow.archiveError":"Conversația nu a putut fi arhivată","localTaskRow.resumeError":"Sarcina nu a putut fi reluată","mermaidDiagram.ariaLabel":"Diagramă Mermaid","mermaidDiagram.copySource":"Copiază diagramă Mermaid","mermaidDiagram.originalCode":"Cod sursă Mermaid","notifications.permissions.description":"Afișează alerte când sunt necesare permisiuni pentru notificări","notifications.permissions.label":"Activează notificările de permisiune","notifications.turnMode.always":"Întotdeauna","notifications.turnMode.description":"Setează momentul în care Codex să te avertizeze că a finalizat","notifications.turnMode.label":"Notificări de finalizare a fazei","notifications.turnMode.off":"Niciodată","notifications.turnMode.unfocused":"Numai când aplicația nu este focalizată","patchApprovalRequest.approve":"Aprobă","patchApprovalRequest.menu.allowAlways":"Da și nu mai întreba în această sesiune","patchApprovalRequest.menu.allowForSession":"Da și nu mai întreba în această sesiune","patchApprovalRequest.menu.allowOnce":"Da","patchApprovalRequest.prompt":"Dorești să faci aceste modificări?","patchApprovalRequest.reject":"Nu","patchApprovalRequest.waitingForApproval":"Se așteaptă aprobarea pentru editarea fișierelor","pendingRequest.approvalExec.collapse":"Restrânge","pendingRequest.approvalExec.expand":"Extinde","pendingRequestStory.toastAnswer":"Răspuns: {answer}","pendingRequestStory.toastApprovalTitle":"Răspuns de aprobare","pendingRequestStory.toastFollowupPrompt":"Solicitare: {prompt}","pendingRequestStory.toastFollowupTitle":"Urmărire trimisă","pendingRequestStory.toastNoAnswers":"Nu au fost furnizate răspunsuri","pendingRequestStory.toastQuestion":"Întrebare: {question}","pendingRequestStory.toastUnknownDecision":"Necunoscut","pendingRequestStory.toastUserInputTitle":"Răspunsuri trimise","quickAction.request.codeReview.branches.new":"Revizuiește modificările din {from} comparativ cu {to}","quickAction.request.codeReview.uncommitted.new":"Revizuiește modificările mele nevalidate","reasoningItem.thinking":"Se gândește","reasoningItem.thought":"S-a gândit","reasoningItem.thoughtWithElapsed":"S-a gândit timp de {elapsed}","recentConversations.title":"Conversații recente","recentTasks.worktreeInitFailedTitle":"Inițializarea arborelui de lucru a eșuat","recentTasks.worktreeSettingUpTitle":"Se configurează arborele de lucru","requestInputPanel.continue":"Continuă","requestInputPanel.dismiss":"Ignoră","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Tastează aici","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nu și spune-i agentului Codex ce să facă diferit","requestInputPanel.selectedBadge":"Selectat","requestInputPanel.skip":"Omite","requestInputPanel.submit":"Trimite","review.commit.ariaLabel.includeUnstaged":"Include modificări neetapizate","review.commit.buttonLabel":"Comite","review.commit.disabled.committing":"Validare în curs…","review.commit.disabled.loadingDiff":"Se încarcă diferențele…","review.commit.disabled.missingContext":"Adaugă puțin context pentru a genera un mesaj de validare","review.commit.disabled.noChanges":"Nicio modificare de validat","review.commit.disabled.noSelection":"Selectează modificările care trebuie validate","review.commit.disabled.unavailable":"Validarea nu este disponibilă în acest moment","review.commit.error":"Nu s-a reușit validarea modificărilor","review.commit.form.changesToBeCommitted":"Modificări","review.commit.form.commitTo":"Ramificație","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuă","review.commit.form.title":"Validează-ți modificările","review.commit.generate.emptyResponse":"Nu am putut genera un mesaj de validare.","review.commit.generate.failed":"Generarea unui mesaj de validare a eșuat: {error}","review.commit.generate.missingPrompt":"Adaugă puțin context pentru a genera un mesaj de validare.","review.commit.includeUnstaged":"Include modificări neetapizate","review.commit.loading.description":"Ține-te bine! Acțiunea poate dura câteva momente…","review.commit.loading.step.commit.done":"Modificări validate","review.commit.loading.step.commit.pending":"Se validează modificările","review.commit.loading.step.createPr.done":"Pull requestul a fost creat","review.commit.loading.step.createPr.pending":"Se creează pull requestul","review.commit.loading.step.push.done":"Trimis în ramificația {branch}","review.commit.loading.step.push.pending":"Se trimite în ramificația {branch}","review.commit.loading.title.commit":"Se validează modificările","review.commit.loading.title.createPr":"Se creează PR","review.commit.loading.title.push":"Se trimit modificările","review.commit.messageLabel":"Mesaj de comitere","review.commit.messagePlaceholder":"Lasă câmpul necompletat pentru a genera automat un mesaj de validare","review.commit.nextSteps":"Pașii următori","review.commit.nextSteps.commit":"Validează","review.commit.nextSteps.commitAndCreate":"Validează și creează PR","review.commit.nextSteps.commitAndPush":"Validează și trimite","review.commit.nextSteps.prRequiresGh":"Este necesară interfața GitHub CLI: {command}","review.commit.rows.changes":"Modificări","review.commit.rows.commitCount":"{count, plural, one {# comitere} few {# comiteri} other {# de comiteri}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# comitere} few {# comiteri} other {# de comiteri}} și {stats}","review.commit.rows.fileCount":"{count, plural, one {# fișier} few {# (de) fișiere} other {# (de) fișiere}}","review.commit.state.error.body":"Ceva nu a funcționat corect în timpul validării. Verifică starea git și încearcă din nou.","review.commit.state.error.title":"Validarea a eșuat","review.commit.state.success.title":"Modificări validate","review.commit.untracked.loadingStats":"Se încarcă statisticile referitoare la diferențele nemonitorizate…","reviewFindingAttachments.count":"{count, plural, one {# rezultat} few {# rezultate} other {# de rezultate}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Editează configurația pentru a personaliza comportamentul agentului","settings.agent.configuration.configToml.docs":"Documente","settings.agent.configuration.configToml.restartNote":"Pentru a aplica modificările, repornește Codex după editare","settings.agent.configuration.subtitle":"Aceste setări se aplică oriunde este utilizat Codex","settings.automations.banner.danger":"Automatizările rulează cu setările implicite ale mediului tău de testare, care sunt setate momentan la Acces complet. Rularea automatizărilor în fundal cu Acces complet prezintă un risc ridicat, deoarece Codex poate modifica fișiere, rula comenzi și accesa rețeaua fără a cere permisiune. Ia în considerare actualizarea setărilor mediului de testare la scriere în cadrul spațiului de lucru, precum și folosirea <rulesDocsLink>regulilor</rulesDocsLink> pentru a defini selectiv acele comenzi pe care agentul le poate rula cu acces complet.","settings.automations.banner.defaultHowTo.default":"Automatizările rulează cu setările implicite ale mediului tău de testare. Apelările instrumentelor vor eșua dacă necesită modificarea fișierelor din afara spațiului de lucru, accesarea rețelei sau utilizarea aplicațiilor de pe computerul tău. Poți permite selectiv rularea comenzilor în afara mediului de testare utilizând <rulesDocsLink>reguli</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizările rulează cu setările implicite ale mediului tău de testare, care sunt setate doar în citire. Apelările instrumentelor vor eșua dacă necesită modificarea fișierelor, accesarea rețelei sau utilizarea aplicațiilor de pe computerul tău. Ia în considerare actualizarea setărilor mediului de testare la scriere în cadrul spațiului de lucru.","settings.automations.cancel":"Anulează","settings.automations.create":"Creează","settings.automations.cwdEmpty":"Nu există foldere de proiect disponibile","settings.automations.cwdLabel":"Proiecte","settings.automations.cwdPlaceholder":"Alege un folder","settings.automations.cwdSubtitle":"Dacă dorești ca o automatizare să ruleze pe o anumită ramificație, poți specifica acest lucru în solicitare.","settings.automations.delete":"Șterge","settings.automations.dialog.editTitle":"Editează automatizarea","settings.automations.dialog.newTitle":"Automatizare nouă","settings.automations.dialog.subtitle":"Automatizează sarcinile recurente în fundal. Codex adaugă rezultatele în inbox sau arhivează automat sarcina dacă nu există nimic de raportat. <learnMoreLink>Află mai multe</learnMoreLink>","settings.automations.dialog.title":"Creează automatizarea","settings.automations.executionCopy.git":"Automatizările rulează în fundal în arbori de lucru dedicați.","settings.automations.executionCopy.nonGit":"Automatizările din proiectele fără control al versiunii rulează direct în directorul proiectului. Ia în considerare utilizarea Git pentru a permite arborilor de lucru să ruleze în fundal.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Arbore de lucru","settings.automations.loading":"Se încarcă…","settings.automations.nameLabel":"Nume","settings.automations.namePlaceholder":"Verifică dacă există probleme în Sentry","settings.automations.pause":"Pauză","settings.automations.promptLabel":"Solicitare","settings.automations.promptPlaceholder":"caută erori fatale în $Sentry","settings.automations.resume":"Reia","settings.automations.rruleSummaryFallback":"Program personalizat","settings.automations.runNow":"Testează","settings.automations.save":"Salvează","settings.automations.scheduleBadge.dayCount":"{count} (de) zi(le)","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Zile lucrătoare","settings.automations.scheduleBadge.weekends":"Weekenduri","settings.automations.scheduleHeader":"Program","settings.automations.scheduleHours":"(de) ore","settings.automations.scheduleLabel":"Rulează la fiecare","settings.automations.scheduleMode.daily":"Zilnic","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Tip de program","settings.automations.scheduleSummary.daily":"Zilnic la ora {time}","settings.automations.scheduleSummary.interval":"La fiecare {count} (de) ore","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# zi} few {# zile} other {# zile}}","settings.automations.scheduleSummary.intervalDays":"{interval}, în zilele de {days}","settings.automations.scheduleSummary.intervalHourly":"În fiecare oră","settings.automations.scheduleSummary.singleDay":"{day} la ora {time}","settings.automations.scheduleSummary.weekdays":"În zilele lucrătoare la ora {time}","settings.automations.scheduleSummary.weekdaysLabel":"zile lucrătoare","settings.automations.scheduleSummary.weekends":"În weekenduri la ora {time}","settings.automations.scheduleSummary.weekendsLabel":"weekenduri","settings.automations.scheduleSummary.weekly":"{days} la ora {time}","settings.automations.scheduleWeekdays":"Activată","settings.automations.weekdayState.excluded":"Exclusă","settings.automations.weekdayState.included":"Inclusă","settings.conversationDetail.steps":"Pași","settings.conversationDetail.steps.description":"Ascunde comenzile și rezultatele","settings.conversationDetail.stepsWithCommands":"Pași care implică realizarea de comenzi prin codare","settings.conversationDetail.stepsWithCommands.description":"Afișează comenzile, restrânge rezultatul","settings.conversationDetail.stepsWithOutput":"Pași care implică rezultate obținute prin codare","settings.conversationDetail.stepsWithOutput.description":"Afișează comenzile și extinde rezultatul","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nicio discuție arhivată.","settings.dataControls.archivedChats.error":"Nu am putut încărca discuțiile arhivate.","settings.dataControls.archivedChats.loading":"Se încarcă discuțiile arhivate...","settings.dataControls.archivedChats.unarchive":"Dezarhivează","settings.dataControls.archivedChats.unarchiveError":"Nu am putut dezarhiva discuția","settings.dataControls.archivedChats.unarchiveSuccess":"Fir nearhivat. <viewNowLink>Vizualizează acum</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Fir nearhivat.","settings.dataControls.archivedChats.untitled":"Discuție fără titlu","settings.dataControls.archivedChats.viewNow":"Vizualizează acum","settings.editRow.headerPlaceholder":"Cheie","settings.editRow.removeEntry":"Elimină intrarea","settings.editRow.valuePlaceholder":"Valoare","settings.general.appearance":"Aspect","settings.general.appearance.codeFont":"Font cod","settings.general.appearance.codeFont.description":"Modifică tipul și dimensiunea fontului folosit pentru codare, în discuții și diferențe","settings.general.appearance.codeFontFamily":"Familie de fonturi pentru codare","settings.general.appearance.codeFontSize":"Mărimea fontului codului","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Creează ferestre cu fundal opac, nu transparente","settings.general.appearance.opaqueWindows.label":"Folosește un fundal opac pentru ferestre","settings.general.appearance.sansFontFamily":"Familie de fonturi Sans","settings.general.appearance.sansFontFamily.description":"Modifică fontul utilizat pentru interfața Codex cu utilizatorul","settings.general.appearance.sansFontSize":"Mărimea fontului Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Afișează efecte de celebrare în modul ecran complet în timp ce GPT-5.3-Codex-Spark rulează prima tură","settings.general.appearance.sparkCelebrationEffects.label":"Efecte de celebrare Spark","settings.general.appearance.theme":"Temă","settings.general.appearance.theme.dark":"Întunecat","settings.general.appearance.theme.description":"Folosește temă deschisă, temă închisă, sau potrivește cu setările sistemului tău","settings.general.appearance.theme.light":"Luminos","settings.general.appearance.theme.system":"Sistem","settings.general.appearance.usePointerCursors.description":"Schimbă cursorul într-o săgeată atunci când treci cu mouse-ul pe deasupra elementelor interactive","settings.general.appearance.usePointerCursors.label":"Folosește cursoare cu săgeată","settings.general.enterBehavior.description":"Când este activată opțiunea, trebuie să apeși {modifierSymbol} + Enter pentru a trimite solicitările care se extind pe mai multe linii.","settings.general.enterBehavior.label":"Trebuie să apeși {modifierSymbol} + Enter pentru a trimite solicitări lungi","settings.general.experimentalFeatures":"Caracteristici experimentale (Beta)","settings.general.experimentalFeatures.empty":"Nu există caracteristici experimentale beta.","settings.general.experimentalFeatures.loading":"Se încarcă caracteristicile experimentale...","settings.general.experimentalFeatures.restartNote":"Repornește Codex pentru a aplica modificările caracteristicilor experimentale","settings.general.experimentalFeatures.toggle":"Comută {featureName}","settings.general.followUpQueueMode.description":"Plasează în coadă urmăririle în timp ce Codex rulează sau ghidează rularea curentă. Apasă pe {invertFollowUpShortcutLabel} pentru a face contrariul în cazul unui mesaj.","settings.general.followUpQueueMode.interrupt":"Ghidează","settings.general.followUpQueueMode.label":"Comportament de urmărire","settings.general.followUpQueueMode.queue":"Coadă","settings.general.notifications":"Notificări","settings.general.power.preventSleepWhileRunning.description":"Nu pune computerul în stare de repaus cât timp Codex rulează un fir.","settings.general.power.preventSleepWhileRunning.label":"Evită să pui computerul în stare de repaus în timpul rulării","settings.git.branchPrefix.ariaLabel":"Prefixul ramificației","settings.git.branchPrefix.description":"Prefix folosit la crearea ramificațiilor noi în Codex","settings.git.branchPrefix.label":"Prefixul ramificației","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Prefixul ramificației nu a putut fi salvat","settings.git.branchPrefix.save.success":"Prefixul ramificației a fost salvat","settings.git.commitInstructions.ariaLabel":"Instrucțiuni de validare","settings.git.commitInstructions.description":"Adăugate la solicitările generate pentru mesajul de validare","settings.git.commitInstructions.label":"Instrucțiuni de validare","settings.git.commitInstructions.placeholder":"Adaugă îndrumări referitoare la mesajul de validare...","settings.git.commitInstructions.save":"Salvează","settings.git.commitInstructions.save.error":"Salvarea instrucțiunilor de validare a eșuat","settings.git.commitInstructions.save.success":"Instrucțiunile de validare au fost salvate","settings.git.forcePush.ariaLabel":"Trimite întotdeauna forțat","settings.git.forcePush.description":"Folosește opțiunea --force-with-lease atunci când trimiți din Codex","settings.git.forcePush.label":"Trimite întotdeauna forțat","settings.git.forcePush.save.disabled":"Trimiterea forțată implicită a fost dezactivată","settings.git.forcePush.save.enabled":"Trimiterea forțată implicită a fost activată","settings.git.forcePush.save.error":"Setarea privind trimiterea forțată nu a putut fi salvată","settings.git.prInstructions.ariaLabel":"Instrucțiuni pentru pull request","settings.git.prInstructions.description":"Anexate la corpurile pull requestului creat de Codex","settings.git.prInstructions.label":"Instrucțiuni pentru pull request","settings.git.prInstructions.placeholder":"Adaugă îndrumări referitoare la pull request...","settings.git.prInstructions.save":"Salvează","settings.git.prInstructions.save.error":"Nu am reușit salvarea instrucțiunilor pentru pull request","settings.git.prInstructions.save.success":"Instrucțiunile pentru pull request au fost salvate","settings.ide.defaultOpenTarget.description":"Unde se deschid fișierele și folderele în mod implicit","settings.ide.defaultOpenTarget.label":"Destinație implicită de deschidere","settings.ide.defaultOpenTarget.placeholder":"Nu s-a găsit nicio țintă","settings.ide.language.auto":"Detectare automată","settings.ide.language.autoOption":"Detectare automată","settings.ide.language.description":"Limba pentru interfața aplicației cu utilizatorul","settings.ide.language.label":"Limbă","settings.ide.language.search":"Căutare limbi","settings.layout.actionButton":"Repornește extensia","settings.layout.actionTitle":"Setări cu acțiune","settings.layout.fullWidthTitle":"Setări (lățime completă)","settings.layout.title":"Setări","settings.localEnvironments.actions.add":"Adaugă o acțiune","settings.localEnvironments.actions.add.description":"Creează o comandă nouă care să fie rulată din bara de instrumente.","settings.localEnvironments.actions.add.save":"Salvează","settings.localEnvironments.actions.empty":"Adaugă o acțiune pentru a executa comenzi din bara de instrumente locală.","settings.localEnvironments.actions.icon.debug":"Remediază erori","settings.localEnvironments.actions.icon.run":"Rulează","settings.localEnvironments.actions.icon.test":"Testează","settings.localEnvironments.actions.icon.tool":"Instrument","settings.localEnvironments.actions.item.button.delete":"Șterge","settings.localEnvironments.actions.item.command":"Script acțiune","settings.localEnvironments.actions.item.name":"Nume","settings.localEnvironments.actions.item.platforms":"Platforme","settings.localEnvironments.actions.item.platforms.help":"Rulează numai pe un anumit sistem de operare.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Selectare platformă","settings.localEnvironments.actions.item.platforms.specific":"Specifică platformei","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Șterge","settings.localEnvironments.actions.title":"Acțiuni","settings.localEnvironments.breadcrumb.back":"Înapoi","settings.localEnvironments.breadcrumb.edit":"editează","settings.localEnvironments.breadcrumb.root":"Medii","settings.localEnvironments.environment.actions.description":"Prin aceste acțiuni poți executa orice comandă. Acțiunile vor fi afișate în antet.","settings.localEnvironments.environment.actionsLabel":"Acțiuni","settings.localEnvironments.environment.create":"Creează un mediu local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Editează mediul local","settings.localEnvironments.environment.empty":"Nu ai configurat încă niciun mediu local pentru acest proiect.","settings.localEnvironments.environment.name":"Nume","settings.localEnvironments.environment.setup":"Script de configurare","settings.localEnvironments.environment.setup.description":"Acest script va rula în momentul creării arborelui de lucru.","settings.localEnvironments.environment.setup.hint":"Rulează în rădăcina proiectului.","settings.localEnvironments.environment.setup.platformOverrides":"Suprascrieri pe platformă","settings.localEnvironments.environment.setup.platformOverrides.add":"Adaugă un script de configurare {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Suprascrie scriptul implicit pentru anumite sisteme de operare.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Elimină","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Detalii referitoare la mediu","settings.localEnvironments.file.missing":"Salvează pentru a crea prima versiune a acestui fișier.","settings.localEnvironments.file.parseError":"Fișierul existent nu poate fi analizat. Dacă salvezi, fișierul va fi suprascris. ({error})","settings.localEnvironments.file.path":"Fișier: {path}","settings.localEnvironments.file.readError":"Datele referitoare la mediul local nu au putut fi încărcate. ({error})","settings.localEnvironments.file.title":"Fișier mediu local","settings.localEnvironments.loading.body":"Se preia configurația proiectului tău.","settings.localEnvironments.loading.title":"Se încarcă mediile locale","settings.localEnvironments.preview.devOnly":"(Numai pentru DEZV.)","settings.localEnvironments.preview.save":"Salvează","settings.localEnvironments.preview.saveError":"Fișierul nu a putut fi salvat. ({error})","settings.localEnvironments.preview.title":"Previzualizare","settings.localEnvironments.save.disabled.name":"Pentru a salva, adaugă un nume de mediu.","settings.localEnvironments.save.disabled.noChanges":"Nicio modificare de salvat.","settings.localEnvironments.save.disabled.saving":"Se salvează…","settings.localEnvironments.save.success":"Mediu local salvat","settings.localEnvironments.unavailable.body":"Nu am putut încărca setările mediului local pentru acest proiect.","settings.localEnvironments.unavailable.title":"Mediile locale sunt indisponibile","settings.localEnvironments.workspace.add":"Adaugă proiect","settings.localEnvironments.workspace.title":"Proiect","settings.localEnvironments.workspaceSelect.addLabel":"Adaugă mediu","settings.localEnvironments.workspaceSelect.description":"Mediile locale îi indică agentului Codex cum să configureze arborii de lucru pentru un proiect. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Încă nu există niciun proiect. Adaugă unul pentru a configura mediile locale.","settings.localEnvironments.workspaceSelect.errorLabel":"Mediul necesită atenție","settings.localEnvironments.workspaceSelect.learnMore":"Află mai multe","settings.localEnvironments.workspaceSelect.listLabel":"Proiecte disponibile","settings.localEnvironments.workspaceSelect.loading":"Se încarcă proiectele.","settings.localEnvironments.workspaceSelect.loadingLabel":"Se încarcă mediul","settings.localEnvironments.workspaceSelect.title":"Selectează un proiect","settings.localEnvironments.workspaceSelect.viewAction":"Vizualizează","settings.mcp.addServer":"Adaugă server","settings.mcp.app.configure":"Configurează","settings.mcp.app.connect":"Conectează","settings.mcp.apps.refresh":"Reîmprospătează","settings.mcp.detail.addArgument":"Adaugă argument","settings.mcp.detail.addEnvVar":"Adaugă variabilă de mediu","settings.mcp.detail.addEnvVarPassthrough":"Adaugă variabilă","settings.mcp.detail.args":"Argumente","settings.mcp.detail.back":"Înapoi","settings.mcp.detail.command":"Comandă de lansare","settings.mcp.detail.cwd":"Director de lucru","settings.mcp.detail.docs":"Deschide documentația MCP","settings.mcp.detail.docs.link":"Documente","settings.mcp.detail.envVarPassthrough":"Variabile de mediu de care se ține cont la livrare","settings.mcp.detail.envVars":"Variabile de mediu","settings.mcp.detail.http.addEnvHeader":"Adaugă variabilă","settings.mcp.detail.http.addHeader":"Adaugă antet","settings.mcp.detail.http.bearerToken":"Variabilă de mediu token la purtător","settings.mcp.detail.http.envHeaders":"Anteturi din variabile de mediu","settings.mcp.detail.http.headers":"Anteturi","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nume","settings.mcp.detail.save":"Salvează","settings.mcp.detail.switchTransportNotice":"Dacă dorești să schimbi tipul de server MCP, mai întâi dezinstalează-l.","settings.mcp.detail.titleExisting":"Actualizează serverul MCP {name}","settings.mcp.detail.titleNew":"Conectează-te la un server MCP personalizat","settings.mcp.detail.transport.http":"HTTP pentru transmitere în flux","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Dezinstalează","settings.mcp.empty":"Nu există servere MCP personalizate conectate","settings.mcp.myServers":"Servere personalizare","settings.mcp.partnerServer.description.figma":"Generează cod îmbunătățit prin introducerea contextului complet Figma","settings.mcp.partnerServer.description.github":"Integrează API-urile GitHub pentru automatizarea fluxurilor de lucru și extragerea datelor","settings.mcp.partnerServer.description.linear":"Integrează soluțiile Linear de urmărire a problemelor și gestionare a proiectelor","settings.mcp.partnerServer.description.notion":"Citește documente, actualizează pagini, gestionează sarcini","settings.mcp.partnerServer.description.playwright":"Integrează automatizarea browserului pentru a implementa designul și a testa interfața cu utilizatorul.","settings.mcp.partnerServer.install":"Instalează","settings.mcp.partnerServer.installAndAuthenticate":"Instalează și autentifică","settings.mcp.partnerServer.logoAlt":"Sigla {label}","settings.mcp.partnerServer.manage":"Gestionează","settings.mcp.partnerServer.vendor":"de către {vendor}","settings.mcp.recommendedServers":"Recomandări de servere","settings.mcp.restartApp":"Repornește","settings.mcp.restartExtension":"Repornește extensia","settings.mcp.server.enable":"Activează","settings.mcp.server.login":"Autentifică-te","settings.mcp.server.settings":"Setări","settings.multiselect.createOption":"Creează „{value}”","settings.multiselect.removeOption":"Elimină","settings.nav.account":"Cont","settings.nav.agent":"Configurație","settings.nav.ariaLabel":"Setări","settings.nav.back":"Înapoi la aplicație","settings.nav.data-controls":"Fire arhivate","settings.nav.environments":"Medii cloud","settings.nav.externalTooltip":"[alpha] Se deschide în browser","settings.nav.general-settings":"General","settings.nav.git-settings":"Git","settings.nav.local-environments":"Medii","settings.nav.mcp-settings":"Servere MCP","settings.nav.notImplemented":"[alpha] Nu este disponibil în Alpha","settings.nav.personalization":"Personalizare","settings.nav.skills-settings":"Abilități","settings.nav.usage-analytics":"Utilizare și analize","settings.nav.worktrees":"Arbori de lucru","settings.openSourceLicenses.back":"Înapoi","settings.openSourceLicenses.loading":"Se încarcă…","settings.openSourceLicenses.missing":"Nu au fost găsite notificări de la terți.","settings.openSourceLicenses.notSupported":"Indisponibile în această fereastră.","settings.openSourceLicenses.rowDescription":"Notificări de la terți privind dependențele grupate","settings.openSourceLicenses.rowLabel":"Licențe open source","settings.openSourceLicenses.subtitle":"Notificări de la terți privind dependențele incluse în această aplicație","settings.openSourceLicenses.title":"Licențe open source","settings.openSourceLicenses.view":"Vizualizează","settings.personalization.agents.description":"Editează instrucțiunile care adaptează agentul Codex la nevoile tale. {learnMore}","settings.personalization.agents.learnMore":"Află mai multe","settings.personalization.agents.loadError":"Fișierul agents.md nu poate fi încărcat.","settings.personalization.agents.loading":"Se încarcă fișierul agents.md…","settings.personalization.agents.placeholder":"Adaugă instrucțiuni personalizate proprii…","settings.personalization.agents.retry":"Reîncearcă","settings.personalization.agents.save":"Salvează","settings.personalization.agents.save.error":"Fișierul agents.md nu poate fi salvat","settings.personalization.agents.save.success":"Fișierul agents.md a fost salvat","settings.personalization.agents.title":"Instrucțiuni personalizate","settings.personalization.personality.description":"Alege un ton implicit pentru răspunsurile Codex","settings.personalization.personality.label":"Personalitate","settings.sample.contentBody":"Utilizează acest aspect pentru a-ți compune panourile de setări cu spațiere consecventă.","settings.sample.contentTitle":"Model de bloc de conținut","settings.section.account":"Cont","settings.section.agent":"Configurație","settings.section.data-controls":"Fire arhivate","settings.section.environments":"Medii cloud","settings.section.external":"Se deschide în browser în versiunea Alfa","settings.section.general-settings":"General","settings.section.git-settings":"Git","settings.section.local-environments":"Medii","settings.section.mcp-settings":"Servere MCP","settings.section.mcp-settings.docs":"Documente","settings.section.mcp-settings.subtitle":"Conectează instrumente și surse de date externe.","settings.section.personalization":"Personalizare","settings.section.skills-settings":"Abilități","settings.section.unavailable":"Secțiunea nu este încă disponibilă în versiunea Alfa","settings.section.usage-analytics":"Utilizare și analize","settings.section.worktrees":"Arbori de lucru","settings.threadDetail.description":"Alege volumul de rezultat al comenzii afișat în fire","settings.threadDetail.label":"Detaliu fir","settings.worktrees.conversation.untitled":"Conversație fără titlu","settings.worktrees.delete.error":"Arborele de lucru nu a putut fi șters","settings.worktrees.empty.body":"Arborii de lucru creați de Codex vor apărea aici.","settings.worktrees.empty.title":"Nu există încă niciun arbore de lucru","settings.worktrees.error.body":"Ceva nu a funcționat corect la încărcarea arborilor de lucru.","settings.worktrees.error.retry":"Reîncearcă","settings.worktrees.error.title":"Arborii de lucru nu pot fi încărcați","settings.worktrees.loading.body":"Se preiau detaliile arborilor de lucru.","settings.worktrees.loading.title":"Se încarcă arborii de lucru","settings.worktrees.repository.loading":"Se încarcă metadatele depozitului…","settings.worktrees.repository.unknown":"Depozit necunoscut","settings.worktrees.row.conversations":"Conversații","settings.worktrees.row.conversations.empty":"Nicio conversație nu e asociată acestui arbore de lucru.","settings.worktrees.row.conversations.loading":"Se încarcă conversațiile…","settings.worktrees.row.delete":"Șterge","settings.worktrees.row.title":"Arbore de lucru","sidebarElectron.addWorkspaceRoot":"Adaugă un proiect nou","sidebarElectron.archiveThread":"Arhivează firul de mesaje","sidebarElectron.archiveThreadError":"Firul de mesaje nu a putut fi arhivat","sidebarElectron.collapseFolder":"Restrânge folderul","sidebarElectron.createStableWorktree.dialog.cancel":"Anulează","sidebarElectron.createStableWorktree.dialog.create":"Creează","sidebarElectron.debugNavLink":"Remediază erori","sidebarElectron.editWorkspaceRootOptionName":"Editează nume","sidebarElectron.expandFolder":"Extinde folderul","sidebarElectron.groupByMenu.recency":"Listă cronologică","sidebarElectron.groupByMenu.title":"Organizează","sidebarElectron.groupByMenu.workspace":"În funcție de proiect","sidebarElectron.inboxRouteNavLink":"Automatizări","sidebarElectron.markThreadUnread":"Marchează ca necitit","sidebarElectron.missingWorkspaceRoot":"Folderul acestui proiect a fost șters sau mutat","sidebarElectron.newThread":"Fir nou","sidebarElectron.newThreadInGroup":"Pornește un fir nou în {folder}","sidebarElectron.noRecentThreads":"Nu există fire recente","sidebarElectron.noTasks":"Niciun fir","sidebarElectron.noTasks.start":"Adaugă un proiect nou","sidebarElectron.noTasksWithFilter":"Niciun fir nu corespunde filtrelor","sidebarElectron.pinnedThreads":"Fire fixate","sidebarElectron.recentNavLink":"Fire","sidebarElectron.recentThreads":"Fire recente","sidebarElectron.removeWorkspaceRootOption":"Elimină","sidebarElectron.renameThread":"Redenumește firul","sidebarElectron.renameThreadDialogAriaLabel":"Titlu fir","sidebarElectron.renameThreadDialogCancel":"Anulează","sidebarElectron.renameThreadDialogPlaceholder":"Adaugă un titlu…","sidebarElectron.renameThreadDialogSave":"Salvează","sidebarElectron.renameThreadDialogSubtitle":"Păstrează-l scurt și ușor de recunoscut.","sidebarElectron.renameThreadDialogTitle":"Redenumește firul","sidebarElectron.renameThreadError":"Firul nu a putut fi redenumit","sidebarElectron.renameWorkspaceRootOptionLabel":"Nume afișat","sidebarElectron.showLess":"Arată mai puține","sidebarElectron.showMenu.all":"Toate firele","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Afișează doar firele recente pentru ramificația curentă, arborii de lucru sau alte fire care au nevoie de atenția ta","sidebarElectron.showMenu.title":"Afișează","sidebarElectron.showMenu.tooltip":"Filtrează, sortează și organizează firele","sidebarElectron.showMenu.trigger":"Filtrează firele din bara laterală","sidebarElectron.showMore":"Arată mai multe","sidebarElectron.skillsRouteNavLink":"Abilități","sidebarElectron.sortMenu.created":"Creat","sidebarElectron.sortMenu.title":"Sortează după","sidebarElectron.sortMenu.updated":"Actualizat","sidebarElectron.taskNavigation":"Foldere automatizări","sidebarElectron.tasksInFolder":"Automatizări în {folder}","sidebarElectron.workspaceOptions":"Acțiuni în cadrul proiectului pentru {folder}","sidebarElectron.worktreeGroupTooltip":"Acesta este un arbore de lucru Git","skills.appsPage.createSkill":"Abilitate nouă","skills.appsPage.empty.skills":"Nu s-a găsit nicio abilitate","skills.appsPage.search.skills":"Caută abilități","skills.appsPage.search.skills.label":"Caută abilități","skills.appsPage.section.installedApps":"Instalate","skills.appsPage.section.skills":"Abilități","skills.appsPage.subheading":"Oferă-i agentului Codex superputeri.<link>Află mai multe</link>","skills.appsPage.tab.recommended":"Recomandat","skills.appsPage.tab.skills":"Abilități","skills.card.contentsError":"Conținutul abilității nu poate fi încărcat.","skills.card.disable":"Dezactivează","skills.card.disableSuccess":"Abilitatea {skillName} a fost dezactivată","skills.card.disabledBadge":"Dezactivat","skills.card.enable":"Activează","skills.card.enableSuccess":"Abilitatea {skillName} a fost activată","skills.card.loadingContents":"Conținutul abilității se încarcă…","skills.card.more":"Mai multe acțiuni","skills.card.open":"Deschide","skills.card.removeFailed":"Nu am reușit dezinstalarea abilității","skills.card.removeSuccess":"Abilitatea {skillName} a fost dezinstalată","skills.card.toggleEnabledError":"Actualizarea abilității nu a reușit","skills.card.try":"Încearcă","skills.card.trySkill":"Încearcă abilitatea","skills.card.uninstall":"Dezinstalează","skills.hero.dotLabel":"Mergi la diapozitivul {index}","skills.hero.next":"Următoarea abilitate recomandată","skills.hero.trySkill":"Încearcă abilitatea","skills.page.createSkill":"Abilitate nouă","skills.page.empty":"Nu a fost găsită nicio abilitate","skills.page.filteredEmpty":"Nicio abilitate nu corespunde filtrelor tale","skills.page.filteredEmptyDescription":"Încearcă să modifici filtrele de căutare sau filtrele legate de domeniul de aplicare","skills.page.heading":"Abilități","skills.page.loading":"Se încarcă abilitățile…","skills.page.refreshSkills":"Reîmprospătează","skills.page.refreshSkillsToUseNew":"Reîmprospătează pentru a folosi noua abilitate (noile abilități)","skills.page.search":"Caută abilități","skills.page.search.label":"Caută abilități","skills.page.subheading":"Oferă-i agentului Codex superputeri.<link>Află mai multe</link>","skills.preview.copyPrompt":"Copiază solicitarea","skills.preview.examplePrompt":"Exemplu de solicitare","skills.recommended.error":"Abilitățile recomandate nu pot fi încărcate","skills.recommended.install":"Instalează","skills.recommended.installSkill":"Instalează abilitatea","skills.recommended.installSuccess":"Abilitatea {skillName} a fost instalată","skills.recommended.installed":"Instalate","skills.scope.admin":"Administrator","skills.scope.adminInstalled":"Instalate de administrator","skills.scope.builtIn":"Sistem","skills.scope.personal":"Personal","skills.scope.repo":"Depozit","skills.scope.system":"Sistem","skills.scope.team":"Team","skills.scope.user":"Utilizator","skills.section.installed":"Instalate","skills.section.recommended":"Recomandat","story.slidingToggle.existing":"Existentă","story.slidingToggle.fromLocal":"Din ramificația locală","story.slidingToggle.new":"Nou","story.slidingToggle.toLocal":"În ramificația locală","terminal.close":"Închide terminalul","terminal.title":"Terminal","thinkingShimmer.default":"Se gândește","threadEnvIcon.cloudTooltip":"Această conversație rulează în cloudul Codex.","threadEnvIcon.localTooltip":"Această conversație rulează local.","threadEnvIcon.worktreeTooltip":"Această conversație rulează într-un arbore de lucru git local.","threadHeader.archiveConfirmCancel":"Anulează","threadHeader.archiveConfirmConfirm":"Arhivează","threadHeader.archiveConfirmSubtitle":"Îl poți găsi mai târziu în firele tale arhivate.","threadHeader.archiveConfirmTitle":"Arhivezi firul?","threadHeader.copyAppLink":"Copiază linkul direct","threadHeader.copySessionId":"Copiază ID-ul sesiunii","threadHeader.copyWorkingDirectory":"Copiază directorul de lucru","threadHeader.forkIntoLocal":"Bifurcă local","threadHeader.forkIntoWorktree":"Bifurcă într-un arbore de lucru nou","threadHeader.forkPendingWorktreePrompt":"Creează o copie bifurcată a acestei conversații într-un arbore de lucru nou.","threadHeader.forkPendingWorktreeTitle":"Conversație bifurcată","threadHeader.forkThreadError":"Bifurcarea firului a eșuat","threadHeader.forkThreadRequiresGitRepo":"Pentru a bifurca într-un arbore de lucru nou ai nevoie de un depozit git","threadHeader.moreActions":"Acțiuni fir","threadPage.newThread":"Fir nou","threadPage.runAction.changeEnvironment":"Schimbă mediul","threadPage.runAction.dropdown.titleWithEnvironment":"Acțiuni {environmentName}","threadPage.runAction.environmentSelector.label":"Alege mediul","threadPage.runAction.label":"Rulează","threadPage.runAction.missing.label":"Configurează o acțiune de executat","threadPage.runAction.setup.commandLabel":"Comandă de executare","threadPage.runAction.setup.description":"Spune-i agentului Codex cum să instaleze dependențe și să-ți pornească aplicația.","threadPage.runAction.setup.editMore":"Setări mediu","threadPage.runAction.setup.placeholder":"De exemplu: npm install npm run","threadPage.runAction.setup.submit":"Salvează și rulează","threadPage.runAction.setup.title":"Execută","threadPage.runAction.tooltip.withEnvironment":"Acțiuni {environmentName}","threadPage.toggleDiffPanel":"Activează/dezactivează panoul de diferențe","threadPage.toggleTerminal":"Comută terminalul","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Deschide folder","toolSummaryForCmd.exploredFiles":"Fișiere <verb>listate</verb>","toolSummaryForCmd.exploredFilesInPath":"Fișiere <verb>listate</verb> în {path}","toolSummaryForCmd.exploringFiles":"<verb>Se listează</verb> fișierele","toolSummaryForCmd.exploringFilesInPath":"<verb>Se listează</verb> fișiere în {path}","toolSummaryForCmd.ranGenericCommand":"<status>Comandă rulată</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>S-a rulat</status> {command}{timer}","toolSummaryForCmd.read":"<verb>S-a citit</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Se rulează comanda</status>{timer}","toolSummaryForCmd.runningTimer":"pentru {elapsed}","toolSummaryForCmd.searchedFor":"<verb>S-a efectuat căutarea</verb> referitoare la {query}","toolSummaryForCmd.searchedForFiles":"<verb>S-au căutat</verb> fișiere","toolSummaryForCmd.searchedForInPath":"<verb>S-a căutat</verb> {query} în {path}","toolSummaryForCmd.searchingFor":"<verb>Se caută</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Se caută</verb> fișiere","toolSummaryForCmd.searchingForInPath":"<verb>Se caută</verb> {query} în {path}","traceRecording.details.noteLabel":"Ce făceai când a avut loc evenimentul? (opțional)","traceRecording.details.notePlaceholder":"Am navigat la un fir complex, apoi am schimbat filele în mod repetat...","traceRecording.details.submit":"Trimite urmărirea","traceRecording.details.subtitle":"Putem trimite această urmărire a profilului pentru a contribui la diagnosticarea problemelor legate de performanță.","traceRecording.details.title":"Trimiți urmărirea profilului?","traceRecording.progress.subtitle":"Păstrează Codex deschis până se finalizează operațiunea.","traceRecording.saving.title":"Se salvează urmărirea...","traceRecording.startDetails.cancel":"Anulează","traceRecording.startDetails.submit":"În regulă. Pornește înregistrarea","traceRecording.startDetails.subtitle":"După ce apeși pe OK, reprodu problema de performanță, apoi apasă pe indicatorul roșu flotant pentru a opri și a revizui urmărirea.","traceRecording.startDetails.title":"Cum funcționează înregistrarea urmăririlor","traceRecording.stopButton.ariaLabel":"Oprește înregistrarea urmăririlor","traceRecording.upload.successToast":"Urmărirea profilului a fost trimisă.","traceRecording.uploading.title":"Se încarcă urmărirea...","wham.diff.addComment":"Adaugă un comentariu","wham.diff.binaryFile":"Fișierul binar nu este afișat","wham.diff.noContent":"Niciun conținut","wham.fileTag.deleted":"Șters","wham.fileTag.new":"Nou","wham.formattedRelativeDateTime.compactDaysAgo":"{value} (de) zi(le)","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} lună(i)","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} săpt.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} an(i)","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Sarcina ta se află în lucru","wham.whamProposedTask.title":"Sarcină sugerată","wham.whamProposedTask.useSuggestion":"Utilizează o sugestie","workspaceRootDialog.addError":"Proiectul nu a putut fi adăugat","workspaceRootDialog.cancel":"Anulează","workspaceRootDialog.confirmAdd":"Adaugă proiect","workspaceRootDialog.confirmPick":"Utilizează proiect","workspaceRootDialog.description":"Introdu o cale pe {host} pentru a o utiliza ca proiect.","workspaceRootDialog.pathLabel":"Cale proiect","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Adaugă o cale de proiect","workspaceRootDialog.title.pick":"Alege o cale de proiect","worktreeInitV2.cancel":"Anulează","worktreeInitV2.notification.failedTitle":"Configurarea arborelui de lucru nu a reușit","worktreeInitV2.output.empty":"Se așteaptă ieșirea…","worktreeInitV2.status.error":"Configurarea arborelui de lucru nu a reușit.","worktreeInitV2.status.running":"Se creează arborele de lucru și se rulează configurarea.","worktreeInitV2.status.runningFork":"Se creează un arbore de lucru pentru a bifurca această conversație.","worktreeInitV2.status.success":"Arborele de lucru este gata.","worktreeInitV2.title":"Se creează arborele de lucru","worktreeInitV2.workLocallyInstead":"Lucrează local în schimb","worktreeRestoreBanner.body":"Arborele de lucru al acestui fir a fost eliminat pentru a economisi spațiu pe disc","worktreeRestoreBanner.missing.body":"Directorul de lucru al acestui fir nu mai există","worktreeRestoreBanner.missing.title":"Directorul de lucru actual lipsește","worktreeRestoreBanner.restore.error":"Restabilirea arborelui de lucru nu a reușit: {message}","worktreeRestoreBanner.restore.success":"Arbore de lucru restabilit","worktreeRestoreBanner.restoreCta":"Restabilește arborele de lucru","worktreeRestoreBanner.title":"Arbore de lucru curățat"};export{e as default};
+const e={"CopyButton.copyTooltip":"Copiază","app.sidebar.hide":"Ascunde bara laterală","app.sidebar.show":"Afișează bara laterală","app.sidebar.tooltip":"Comută pe bara laterală","appHeader.installUpdate":"Actualizează","appSunset.body":"Această versiune a aplicației nu mai este acceptată. Descarcă cea mai recentă versiune <here>aici</here>.","appSunset.title":"Este necesară actualizarea","automation.updateDirective.create":"Creează","automation.updateDirective.open":"Deschide","automation.updateDirective.untitled":"Automatizare fără titlu","automation.updateDirective.update":"Actualizează","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# încercare} few {# încercări} other {# de încercări}}","cloudTaskRow.archiveError":"Sarcina nu a putut fi arhivată","code.diff.requestChange":"Solicită modificarea","code.diffComment.cancel":"Anulează","code.diffComment.comment":"Comentează","code.diffComment.delete":"Șterge","code.diffComment.save":"Salvează","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nu au fost raportate rezultate.","codex.alert.closeAriaLabel":"Închide","codex.appUpsellBanner.cbpApi.message":"Construiește mai rapid cu aplicația Codex. Descarcă acum sau {learnMoreLink}.","codex.appUpsellBanner.download":"Descarcă","codex.appUpsellBanner.freeGo.message":"Codex este inclus în planul tău până pe 2 martie. Încearcă aplicația Codex pentru a construi mai rapid.","codex.appUpsellBanner.later":"Mai târziu","codex.appUpsellBanner.learnMoreLowercase":"află mai multe","codex.appUpsellBanner.new":"Nou","codex.appUpsellBanner.proPlusBusiness.message":"Încearcă aplicația Codex cu limită tarifară dublă până pe 2 aprilie. Descarcă acum sau {learnMoreLink}.","codex.appUpsellBanner.title":"Aplicația Codex","codex.applyDropdown.header.changes":"Modificări","codex.applyDropdown.header.fileCount":"{count, plural, one {# fișier} few {# de fișiere} other {# de fișiere}}","codex.applyDropdown.header.rows":"rânduri","codex.applyDropdown.header.title":"Aplică modificări","codex.applyDropdown.header.workspace":"Proiect","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fișier cu conflict:} few {{count} fișiere cu conflict:} other {{count} de fișiere cu conflict:}}","codex.applyDropdown.results.empty":"Nu s-a copiat niciun fișier","codex.applyDropdown.results.skipped":"{count, plural, one {1 fișier omis:} few {{count} fișiere omise:} other {{count} de fișiere omise:}}","codex.applyOrRevertBanner.apply":"Aplică","codex.applyOrRevertBanner.applyMessage":"Aplici modificările și continui local?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Această sarcină a fost efectuată în {environment}, astfel că s-ar putea să nu se aplice perfect.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Modificările au fost efectuate în {environment}, astfel că s-ar putea să nu se aplice perfect.","codex.applyOrRevertBanner.reapply":"Reaplică","codex.applyOrRevertBanner.revert":"Revenire","codex.applyOrRevertBanner.revertMessage":"Anulezi modificările aplicate?","codex.applyResultsDialog.applied":"Aplicate perfect ({count})","codex.applyResultsDialog.close":"Închide","codex.applyResultsDialog.conflicted":"Cu conflict ({count})","codex.applyResultsDialog.noDetails":"Nu sunt disponibile detalii despre fișier.","codex.applyResultsDialog.skipped":"Omise ({count})","codex.applyResultsDialog.title":"Aplică rezultatele","codex.archiveInfo":"Vezi discuțiile arhivate din {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Comenzi date","codex.archiveInfo.electron":"Vezi discuțiile arhivate din {settingsLink}.","codex.archiveInfo.extension":"Vezi discuțiile arhivate din folderul .codex.","codex.archiveInfo.settingsLink":"Setări","codex.banner.content.description":"Rulează sarcini în paralel, urmărește progresul de oriunde și revizuiește PR-uri folosind inteligența artificială.","codex.banner.content.headline":"Codex le face pe toate.","codex.cloudTaskRow.archiveTask":"Arhivează sarcina","codex.cloudTaskRow.confirmArchiveTask":"Confirmă","codex.command.feedback":"Feedback","codex.command.findInThread":"Găsește","codex.command.forceReloadSkills":"Reîncarcă forțat abilitățile","codex.command.logOut":"Deconectează-te","codex.command.manageTasks":"Gestionează sarcinile","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Înapoi","codex.command.navigateForward":"Înainte","codex.command.newThread":"Fir nou","codex.command.nextThread":"Următorul fir","codex.command.openFolder":"Deschide folder","codex.command.openSkills":"Mergi la abilități","codex.command.openThreadOverlay":"Deschide firul","codex.command.personalitySettings":"Personalitate","codex.command.previousThread":"Firul anterior","codex.command.settings":"Setări","codex.command.toggleDiffPanel":"Activează/dezactivează panoul de diferențe","codex.command.toggleSidebar":"Comută pe bara laterală","codex.command.toggleTerminal":"Comută terminalul","codex.commandGroup.app":"Aplicație","codex.commandGroup.configure":"Configurează","codex.commandGroup.navigation":"Navigare","codex.commandGroup.panels":"Panouri","codex.commandGroup.skills":"Abilități","codex.commandGroup.thread":"Fir","codex.commandGroup.workspace":"Proiect","codex.commandMenu.noResults":"Nu există potriviri","codex.commandMenu.searchPlaceholder":"Caută în comenzi","codex.commandMenu.suggestedGroup":"Sugestii","codex.commandMenu.switchWorkspace":"Schimbă proiectul","codex.commandMenu.title":"Meniu comenzi","codex.common.retry":"Reîncearcă","codex.composer.searchBranches":"Caută în ramificații","codex.dialog.basic.body":"Aceasta este o fereastră de dialog simplă utilizând codul nostru de încapsulare a dialogului Radix.","codex.dialog.basic.cancel":"Anulează","codex.dialog.basic.confirm":"Confirmă","codex.dialog.basic.open":"Deschide dialogul","codex.dialog.basic.title":"Model de dialog","codex.dialog.long.close":"Închide","codex.dialog.long.line":"Linie derulantă {index} pentru a demonstra conținutul detaliat din interiorul dialogului.","codex.dialog.long.open":"Deschide dialogul detaliat","codex.dialog.long.title":"Dialog cu conținut detaliat","codex.dialog.unstyled.body":"Această poveste arată cum apelanții pot controla integral stilizarea conținutului din dialog.","codex.dialog.unstyled.open":"Deschide dialogul cu elemente de conținut nestilizate","codex.dialog.unstyled.title":"Conținut nestilizat","codex.diff.openInEditorPrompt.openButton":"Deschide în editor","codex.diff.openInEditorPrompt.singleLine":"Acest fișier este prea mare pentru a putea fi afișat aici.","codex.diffView.failedToDecodeBase64Diff":"Decodarea diferențelor în format base64 a eșuat","codex.diffView.filesChanged":"{fileCount, plural, one {# fișier modificat} few {# fișiere modificate} other {# de fișiere modificate}}","codex.diffView.imagePreviewAlt":"Previzualizare imagine","codex.diffView.imagePreviewEmpty":"Nicio imagine","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nu există date despre diferențe","codex.diffView.pdfPreview.nextPage":"Pagina următoare","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Pagina anterioară","codex.diffView.pdfPreviewEmpty":"Nicio previzualizare a PDF-ului","codex.diffView.pdfPreviewError":"Previzualizarea PDF-ului nu este posibilă","codex.diffView.richPreviewDisable":"Dezactivează previzualizarea îmbogățită","codex.diffView.richPreviewEnable":"Activează previzualizarea îmbogățită","codex.diffView.richPreviewLoading":"Se încarcă previzualizarea...","codex.diffView.richPreviewToggle":"Activează/Dezactivează previzualizarea îmbogățită","codex.diffView.switchToUnified":"Comută la vizualizarea unificată a diferențelor","codex.environmentSelector.noEnvironment":"Niciun mediu","codex.environments.environmentSettings":"Setări mediu","codex.environments.learnMore":"Află mai multe","codex.environments.listError":"Mediile nu au putut fi încărcate.","codex.environments.noEnvironmentsFound":"Nu a fost găsit niciun mediu","codex.environments.searchError":"Mediile nu au putut fi căutate.","codex.errorBoundary.genericError":"Hopa, a apărut o eroare","codex.errorBoundary.goHome":"Încearcă din nou","codex.file.patch.missing":"Nu s-a putut crea o corecție pentru acest fișier.","codex.gallery.automations.cwdLabel":"Proiecte","codex.gallery.automations.nameLabel":"Nume","codex.gallery.automations.namePlaceholder":"Rezumă o sarcină","codex.gallery.automations.promptLabel":"Solicitare","codex.gallery.automations.promptPlaceholder":"Descrie ceea ce ar trebui să facă Codex","codex.gallery.dialogs.automation.label":"Dialog privind automatizarea","codex.gallery.dialogs.basic.body":"Folosește acest format pentru confirmări simple sau formulare scurte.","codex.gallery.dialogs.basic.cancel":"Anulează","codex.gallery.dialogs.basic.confirm":"Confirmă","codex.gallery.dialogs.basic.label":"Dialog de bază","codex.gallery.dialogs.basic.title":"Model de dialog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Descrie problema","codex.gallery.dialogs.feedbackSubmission.bad":"Rezultat incorect","codex.gallery.dialogs.feedbackSubmission.bug":"Eroare","codex.gallery.dialogs.feedbackSubmission.good":"Rezultat bun","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Include jurnalele sesiunii Codex actuale","codex.gallery.dialogs.feedbackSubmission.label":"Trimitere feedback","codex.gallery.dialogs.feedbackSubmission.other":"Altceva","codex.gallery.dialogs.feedbackSubmission.placeholder":"Descrie aici problema","codex.gallery.dialogs.feedbackSubmission.submit":"Trimite","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedbackul a fost încărcat. Dacă problema persistă, raportează o problemă în GitHub sau menționează ID-ul firului în cadrul unei probleme raportate deja:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Ignoră","codex.gallery.dialogs.feedbackSuccess.label":"Feedback transmis","codex.gallery.dialogs.feedbackSuccess.title":"Feedbackul a fost încărcat","codex.gallery.dialogs.gitApplyResults.applied":"Aplicate fără probleme (2)","codex.gallery.dialogs.gitApplyResults.close":"Închide","codex.gallery.dialogs.gitApplyResults.conflicted":"În conflict (1)","codex.gallery.dialogs.gitApplyResults.label":"Aplică rezultatele","codex.gallery.dialogs.gitApplyResults.title":"Aplică rezultatele","codex.gallery.dialogs.gitPushError.body":"Extrage cele mai recente modificări sau trimite forțat dacă știi că istoricul la distanță poate fi suprascris în siguranță.","codex.gallery.dialogs.gitPushError.cancel":"Anulează","codex.gallery.dialogs.gitPushError.force":"Trimite forțat","codex.gallery.dialogs.gitPushError.label":"Eroare la trimiterea forțată","codex.gallery.dialogs.gitPushError.subtitle":"Ramificația ta se află în spatele ramificației de origine/principale.","codex.gallery.dialogs.gitPushError.title":"Modificările nu au putut fi trimise","codex.gallery.dialogs.gitRevert.cancel":"Anulează","codex.gallery.dialogs.gitRevert.confirm":"Anulare modificări","codex.gallery.dialogs.gitRevert.label":"Anulează modificările","codex.gallery.dialogs.gitRevert.skip":"Nu mai întreba","codex.gallery.dialogs.gitRevert.subtitle":"Această acțiune elimină toate aceste modificări.","codex.gallery.dialogs.gitRevert.title":"Anulezi modificările?","codex.gallery.dialogs.longForm.label":"Dialog lung","codex.gallery.dialogs.proseModal.body":"Acest stil de fereastră este utilizat pentru instrucțiuni mai lungi, înscrieri sau blocuri de conținut bogat.","codex.gallery.dialogs.proseModal.close":"Închide","codex.gallery.dialogs.proseModal.subtitle":"Partajează aici documentație sau îndrumări mai detaliate.","codex.gallery.dialogs.proseModal.title":"Fereastră pentru texte lungi","codex.gallery.dialogs.submitBlocked.label":"Trimitere blocată","codex.gallery.dialogs.submitBlocked.message":"Mesajul tău nu a putut fi trimis deoarece proiectul nu este disponibil.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Mesajul nu a putut fi trimis","codex.gallery.dialogs.title":"Dialoguri","codex.gallery.dropdown.filterPlaceholder":"Filtrează articole","codex.gallery.dropdowns.actionRow":"Rânduri de acțiuni","codex.gallery.dropdowns.actionRow.disabled":"Acțiune dezactivată","codex.gallery.dropdowns.actionRow.primary":"Acțiune principală","codex.gallery.dropdowns.actionRow.secondary":"Acțiune secundară","codex.gallery.dropdowns.actionRow.trigger":"Afișează acțiuni","codex.gallery.dropdowns.basic":"Meniu derulant de bază","codex.gallery.dropdowns.basic.newFile":"Fișier nou","codex.gallery.dropdowns.basic.newFolder":"Folder nou","codex.gallery.dropdowns.basic.openSettings":"Deschide setările","codex.gallery.dropdowns.basic.title":"Acțiuni rapide","codex.gallery.dropdowns.basic.trigger":"Deschide meniul","codex.gallery.dropdowns.basic.upload":"Încarcă","codex.gallery.dropdowns.panel":"Stil panou","codex.gallery.dropdowns.panel.apply":"Aplică","codex.gallery.dropdowns.panel.body":"Analizează diferențele și aplică-le în proiectul tău.","codex.gallery.dropdowns.panel.preview":"Previzualizare","codex.gallery.dropdowns.panel.title":"Aplică modificări","codex.gallery.dropdowns.panel.trigger":"Deschide panoul","codex.gallery.dropdowns.search":"Meniu derulant cu funcție de căutare","codex.gallery.dropdowns.search.first":"Canal Alfa","codex.gallery.dropdowns.search.second":"Ramificație Beta","codex.gallery.dropdowns.search.third":"Candidat pentru lansare","codex.gallery.dropdowns.search.trigger":"Filtrează articole","codex.gallery.dropdowns.submenu":"Meniu derulant cu submeniu","codex.gallery.dropdowns.submenu.optionA":"Proiectul alfa","codex.gallery.dropdowns.submenu.optionB":"Proiectul beta","codex.gallery.dropdowns.submenu.optionC":"Proiectul gama","codex.gallery.dropdowns.submenu.primary":"Atribuie proprietar","codex.gallery.dropdowns.submenu.secondary":"Mută ​​în","codex.gallery.dropdowns.submenu.tertiary":"Arhivează","codex.gallery.dropdowns.submenu.trigger":"Alege acțiunea","codex.gallery.dropdowns.title":"Meniuri derulante","codex.gallery.inbox.automations.close":"Închide","codex.gallery.inbox.automations.popover.cardTitle":"Gestionează automatizările","codex.gallery.inbox.automations.popover.dialogTitle":"Gestionează automatizările","codex.header.settingsTooltip":"Setări","codex.hunk.patch.error":"Nu s-a reușit etapizarea","codex.hunk.patch.missing":"Nu s-a putut crea o corecție pentru acest bloc.","codex.hunk.patch.partialSuccess":"Succes parțial","codex.hunk.patch.revertError":"Nu s-a reușit anularea etapizării","codex.hunk.patch.revertSuccess":"Anulare etapizare reușită","codex.hunk.patch.success":"Etapizare reușită","codex.legal.autonomy.details":"Vezi {link} pentru mai multe detalii","codex.legal.autonomy.details.link":"Documente Codex","codex.legal.autonomy.title":"Decide cât de multă autonomie dorești să acorzi","codex.legal.backButton":"Înapoi","codex.legal.cloud.taskOne.meta":"openai/agi · 12 octombrie","codex.legal.cloud.taskOne.title":"Explică unui designer nou ce este un depozit","codex.legal.cloud.taskThree.meta":"openai/codex · 8 octombrie","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Creează o temă în modul întunecat","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 octombrie","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Remediază o eroare legată de înscriere","codex.legal.continue.apikey":"Continuă","codex.legal.continueButton":"Mai departe","codex.legal.copilot.details":"Utilizează planul tău Copilot pentru toate solicitările către model, facturare și limitele tarifare. Folosirea extensiei Codex face obiectul {oaiTos} și {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Condițiilor de utilizare GitHub","codex.legal.copilot.oaiTosLink":"Condițiilor de utilizare OpenAI Codex","codex.legal.copilot.title":"Pe platforma GitHub Copilot","codex.legal.mistakes.review":"Revizuiește codul pe care îl scrie și comenzile pe care le rulează","codex.legal.mistakes.title":"Codex poate face greșeli","codex.legal.powered.details":"Utilizează limitele tarifare ale planului tău și {link}","codex.legal.powered.details.link":"preferințele privind utilizarea datelor pentru instruire","codex.legal.powered.title":"Pe platforma contului tău ChatGPT","codex.legal.step.cloud.subtitle":"Trimite sarcini pe care Codex să le ruleze pe fundal astfel încât să îți poți păstra concentrarea și să te miști mai rapid.","codex.legal.step.cloud.title":"Transferă procesarea către Codex în cloud","codex.legal.step.intro.subtitle":"Codex navighează, editează, rulează comenzi și execută teste direct din depozitul tău. Pe platforma contului tău ChatGPT.","codex.legal.step.intro.title":"Codex în IDE","codex.legal.step.todo.subtitle":"Scrie un comentariu TODO și convertește-l într-o sarcină Codex cu un singur clic.","codex.legal.step.todo.title":"Transformă sarcinile TODO în sarcini Codex","codex.legal.todo.heading":"// TODO: implementează schema","codex.localConversation.closeImagePreview":"Închide previzualizarea imaginii","codex.localConversation.userImageAttachment":"Atașament utilizator","codex.localTaskRow.archiveTask":"Arhivează firul de mesaje","codex.localTaskRow.awaitingApproval":"Se așteaptă aprobarea","codex.localTaskRow.awaitingResponse":"Se așteaptă răspunsul","codex.localTaskRow.confirmArchiveTask":"Confirmă","codex.loggedOut.apiKeyPrompt.cancel":"Anulează","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Obține cheia API","codex.loggedOut.apiKeyPrompt.inputLabel":"Introdu cheia API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Sarcinile în cloud sunt dezactivate cu cheia API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Sarcinile în cloud sunt dezactivate cu Copilot și cheia API","codex.loggedOut.signIn":"Conectează-te cu ChatGPT","codex.loggedOut.signIn.cancel":"Anulează conectarea","codex.loggedOut.signInWithCopilot":"Conectează-te cu GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Utilizează cheia API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"MCP {server} instrument {tool}","codex.mcpTool.collapsedLabel.verb.called":"Apelate","codex.mcpTool.collapsedLabel.verb.calling":"Se apelează","codex.mcpTool.embeddedResource.contentLabel":"Conținut","codex.mcpTool.embeddedResource.mimeTypeLabel":"Tip MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Instrumentul nu a returnat niciun conținut","codex.mcpTool.rawPayloadHeading":"Sarcina brută a apelului către instrumentul MCP {server}.{tool}","codex.menu.recent":"Recente","codex.menu.seeAllHistory":"Vezi tot istoricul","codex.modelCapacityBanner.headline.noReset":"Capacitatea maximă a {modelName} a fost atinsă. Încearcă din nou mai târziu sau pornește o conversație nouă utilizând un alt model.","codex.modelCapacityBanner.headline.withReset":"Capacitatea maximă a {modelName} a fost atinsă. Încearcă după {resetDate} sau pornește o conversație nouă utilizând un alt model.","codex.modelCapacityBanner.title":"Capacitatea maximă a modelului selectat a fost atinsă","codex.patch.change.contentsDeleted":"Conținuturi șterse","codex.patch.change.created":"Creat","codex.patch.change.created-file":"Fișierul a fost creat","codex.patch.change.creating":"Se creează","codex.patch.change.deleted":"Șters","codex.patch.change.deleted-file":"Fișierul a fost șters","codex.patch.change.deleting":"Se șterge","codex.patch.change.edited":"Editat","codex.patch.change.edited-file":"Fișier editat","codex.patch.change.editing":"Se editează","codex.patch.change.noChanges":"Nicio modificare","codex.patch.change.rejected-add":"Respins","codex.patch.change.rejected-delete":"Respins","codex.patch.change.rejected-edit":"Respins","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} din {total} (de) sarcini finalizate","codex.plan.todoListCreated":"Listă planificată creată cu {total} (de) sarcini","codex.profileDropdown.apiKeyAuth":"Conectat cu cheie API","codex.profileDropdown.codexSettings":"Setări Codex","codex.profileDropdown.copilotAuth":"Conectat cu Copilot","codex.profileDropdown.defaultAccountTitle":"Cont implicit","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter pentru a trimite solicitări lungi","codex.profileDropdown.enterBehaviorError":"Nu s-a reușit actualizarea setării","codex.profileDropdown.getPlus":"Fă upgrade pentru limite mai generoase","codex.profileDropdown.keyboardShortcuts":"Scurtături tastatură","codex.profileDropdown.language":"Limbă","codex.profileDropdown.languageDefault":"Detectare automată","codex.profileDropdown.languageSearchPlaceholder":"Căutare limbi","codex.profileDropdown.languageUpdateError":"Nu s-a reușit actualizarea limbii","codex.profileDropdown.logOut":"Deconectează-te","codex.profileDropdown.mcp":"Setări MCP","codex.profileDropdown.openConfigToml":"Deschide config.toml","codex.profileDropdown.openConfigToml.wsl":"Deschide config.toml într-un mediu WSL","codex.profileDropdown.openExtensionSettings":"Deschide setările","codex.profileDropdown.openMcpSettings":"Deschide setările MCP","codex.profileDropdown.openOnStartup":"Deschide la pornire","codex.profileDropdown.openOnStartupError":"Nu s-a reușit actualizarea setării","codex.profileDropdown.openSkillsSettings":"Deschide setările abilităților","codex.profileDropdown.personalAccountTitle":"Cont personal","codex.profileDropdown.queueFollowUps":"Plasează în coadă urmăririle","codex.profileDropdown.queueFollowUpsError":"Nu s-a reușit actualizarea setării","codex.profileDropdown.readDocs":"Citește documente","codex.profileDropdown.readSkillsDocs":"Citește documente","codex.profileDropdown.runInWsl":"Rulează în WSL","codex.profileDropdown.runInWslError":"Nu s-a reușit actualizarea setării","codex.profileDropdown.runInWslTooltip":"Rulează Codex în interiorul WSL. Recomandat pentru o mai bună securitate și performanță a mediului de testare sigur.","codex.profileDropdown.settings":"Setări IDE","codex.profileDropdown.settingsPage":"Setări","codex.profileDropdown.signInWithOpenAI":"Conectează-te cu ChatGPT","codex.profileDropdown.skills":"Setări abilități","codex.profileDropdown.switchToCopilotAccount":"Folosește contul Copilot","codex.profileDropdown.switchToOpenAIAccount":"Folosește contul OpenAI","codex.profileDropdown.todoCodelens":"Remediază comentariile TODO","codex.profileDropdown.todoCodelensError":"Nu s-a reușit actualizarea setării","codex.profileDropdown.windowsDocumentation":"Documentație Windows","codex.profileFooter.signedInFallback":"Setări","codex.profileFooter.upgrade":"Fă upgrade","codex.recentTasksMenu.clearSearch":"Șterge căutarea","codex.recentTasksMenu.cloud":"Sarcini din cloud","codex.recentTasksMenu.count":"{count, plural, =0 {Nu există sarcini aflate în curs} one {# sarcină în curs} few {# sarcini în curs} other {# de sarcini în curs}}","codex.recentTasksMenu.empty":"Nu există încă niciun fir","codex.recentTasksMenu.errorCloud":"Nu s-a reușit încărcarea sarcinilor.","codex.recentTasksMenu.errorCloud.inline":"Nu s-a reușit încărcarea sarcinilor din cloud.","codex.recentTasksMenu.filterAll":"Toate","codex.recentTasksMenu.filterCloudTasks":"Filtrează sarcinile din cloud","codex.recentTasksMenu.filterTooltip":"Filtrează sarcinile după mediu","codex.recentTasksMenu.local":"Sarcini locale","codex.recentTasksMenu.recent":"Toate sarcinile","codex.recentTasksMenu.search":"Caută sarcini recente","codex.recentTasksMenu.searchEmpty":"Niciun rezultat","codex.recentTasksMenu.tooltip":"Istoricul sarcinilor","codex.recentTasksMenu.trigger":"Sarcini recente. {count, plural, one {# în curs} few {# în curs} other {# în curs}}","codex.remoteConversation.applyDiff.applyCta":"Aplică modificări","codex.remoteConversation.applyDiff.dropdownTitle":"Aplică modificările la o ramificație locală","codex.remoteConversation.applyDiff.revertCta":"Anulează modificările","codex.remoteConversation.closeImagePreview":"Închide previzualizarea imaginii","codex.remoteConversation.codexCloudTask":"Vizualizezi o sarcină din <u>cloudul Codex</u>","codex.remoteConversation.errorWithMessage":"Eroare: {message}","codex.remoteConversation.loadingImage":"Se încarcă imaginea","codex.remoteConversation.openInWeb":"Deschide pe web","codex.remoteConversation.streaming":"Pornește","codex.remoteConversation.turnFailed":"A apărut o eroare în timpul acestei sarcini","codex.remoteConversation.turnTab.loading":"Încercarea {number}","codex.remoteConversation.turnTab.title":"Încercarea {number}","codex.remoteConversation.userImageAttachment":"Atașament utilizator","codex.remoteConversation.viewPreviousTurns":"Deschide pe web","codex.remoteConversation.viewPreviousTurns.buttonText":"Deschide","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Deschide pe web","codex.review.copyGitApplyCommand":"Copiază comanda „git apply”","codex.review.copyGitApplyCommand.toast":"Comanda „git apply” a fost copiată în clipboard","codex.review.diffTooLarge.description":"Această diferență are o dimensiune prea mare pentru a fi afișată în secțiunea Revizuiește.","codex.review.diffTooLarge.title":"Această diferență are o dimensiune prea mare pentru a fi afișată","codex.review.expandOrCollapseDiffButton.collapse":"Restrânge toate diferențele","codex.review.expandOrCollapseDiffButton.expand":"Extinde toate diferențele","codex.review.expandOrCollapseDiffMenu.collapse":"Restrânge toate diferențele","codex.review.expandOrCollapseDiffMenu.expand":"Extinde toate diferențele","codex.review.fileSearch.clear":"Șterge filtrul pentru fișiere","codex.review.fileSearch.empty":"Nu există fișiere care să corespundă filtrului actual.","codex.review.fileSearch.label":"Filtrează fișiere","codex.review.fileSearch.placeholder":"Filtrare fișiere...","codex.review.filesChanged":"{num, plural, =0 {Niciun fișier modificat} one {# fișier modificat} few {# fișiere modificate} other {# de fișiere modificate}}","codex.review.find.loadMore":"Încarcă mai multe potriviri","codex.review.fullReview.hideFileTree":"Ascunde arborele fișierelor","codex.review.fullReview.showFileTree":"Afișează arborele fișierelor","codex.review.header.moreOptions":"Opțiuni de revizuire","codex.review.largeDiff.banner":"A fost detectată o diferență mare. Fișierele sunt afișate pe rând.","codex.review.loadFullFiles.disable":"Nu încărca fișiere complete","codex.review.loadFullFiles.enable":"Încarcă fișiere complete","codex.review.noDiff":"Modificările aduse fișierelor vor fi afișate aici","codex.review.noDiff.gitInit.createRepository":"Creează un depozit git","codex.review.noDiff.gitInit.creating":"Se creează…","codex.review.noDiff.gitInit.error":"Inițializarea Git nu a reușit: {message}","codex.review.noDiff.gitInit.success":"A fost creat un depozit Git","codex.review.noDiff.gitRepoRequired.description":"Urmărește și anulează modificările din acest proiect","codex.review.noDiff.gitRepoRequired.title":"Creează un depozit Git","codex.review.noDiff.orNoLongerAvailable":"sau cele mai recente diferențe nu mai sunt disponibile","codex.review.noDiff.reverted":"Ultima interacțiune a fost anulată","codex.review.noDiff.revertedOrCommitted":"Ultima interacțiune a fost anulată sau validată","codex.review.refreshGitQueries":"Reîmprospătează","codex.review.revert.file.error":"Nu s-a reușit anularea modificărilor {path}","codex.review.revert.file.partialSuccess":"Anulare parțială a modificărilor {path}","codex.review.revert.file.success":"S-au anulat modificările {path}","codex.review.revert.hunk.error":"Nu s-a reușit anularea modificărilor blocului {hunkNumber} în {path}","codex.review.revert.hunk.partialSuccess":"Modificări ale blocului {hunkNumber} anulate parțial în {path}","codex.review.revert.hunk.success":"Modificări ale blocului {hunkNumber} anulate în {path}","codex.review.revert.section.error":"Nu s-a reușit anularea modificărilor secțiunii","codex.review.revert.section.partialSuccess":"Modificări ale secțiunii anulate parțial","codex.review.revert.section.success":"Modificări ale secțiunii anulate","codex.review.revertDialog.cancel":"Anulează","codex.review.revertDialog.confirm":"Confirmă","codex.review.revertDialog.message":"Această acțiune elimină toate aceste modificări.","codex.review.revertDialog.skip":"Nu mai întreba","codex.review.revertDialog.title":"Anulezi modificările?","codex.review.richPreview.disable":"Dezactivează previzualizarea îmbogățită","codex.review.richPreview.enable":"Activează previzualizarea îmbogățită","codex.review.source.cloud":"Modificări în cloud","codex.review.source.local.all":"Toate modificările de la nivelul ramificației","codex.review.source.local.lastTurn":"Ultimele modificări la nivel de răspuns","codex.review.source.local.uncommitted":"Modificări nevalidate","codex.review.source.worktree":"Modificări nevalidate ale arborelui de lucru","codex.review.stageFilter.empty.staged.description":"Acceptă modificările pentru a le etapiza","codex.review.stageFilter.empty.staged.title":"Nicio modificare etapizată","codex.review.stageFilter.empty.unstaged.description":"Modificările de cod vor fi afișate aici","codex.review.stageFilter.empty.unstaged.title":"Nicio modificare neetapizată","codex.review.stageFilter.staged":"Etapizate","codex.review.stageFilter.staged.count":"Etapizate · {count}","codex.review.stageFilter.unstaged":"Neetapizate","codex.review.stageFilter.unstaged.count":"Neetapizate · {count}","codex.review.switchToSplit":"Comută la vizualizarea divizată a diferențelor","codex.review.switchToUnified":"Comută la vizualizarea unificată a diferențelor","codex.review.toggleDiffView":"Activează/dezactivează vizualizarea diferențelor","codex.review.wordDiffs.disable":"Dezactivează evidențierea diferențelor la nivel de cuvânt","codex.review.wordDiffs.enable":"Activează evidențierea diferențelor la nivel de cuvânt","codex.review.wrap.disable":"Dezactivează încadrarea textului","codex.review.wrap.enable":"Activează încadrarea textului","codex.section.patch.missing":"Nu s-a putut crea o corecție pentru această secțiune.","codex.shell.collapse":"Restrânge conținutul shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Conținuturi shell copiate","codex.shell.copy.copyTooltip":"Copiază conținuturi shell","codex.shell.copyCommand":"Copiază comanda","codex.shell.copyOutput":"Copiază rezultatul","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Extinde conținutul shell","codex.shell.name":"Shell","codex.shell.noOutput":"Nicio ieșire","codex.signInFailed.message":"Conectare eșuată: {rawMessage}","codex.stories.toast.show":"Arată bannerul de notificare","codex.stories.tooltip.basic":"Acesta este un sfat pe ecran","codex.stories.tooltip.hoverMe":"Treci cu mouse-ul pe deasupra","codex.stories.tooltip.largerOffset":"Acest sfat pe ecran este deplasat mai mult","codex.stories.tooltip.offsetButton":"Deplasare mai mare","codex.stories.tooltip.shortcutButton":"Cu scurtătură","codex.stories.tooltip.withShortcut":"Comută terminalul","codex.taskRow.title":"Fir nou","codex.taskRowLayout.confirm":"Confirmă","codex.threadFindBar.chatFilter":"Caută în discuție","codex.threadFindBar.close":"Închide rezultatele","codex.threadFindBar.diffFilter":"Caută în diferențe","codex.threadFindBar.label":"Găsește în fir","codex.threadFindBar.nextResult":"Următorul rezultat","codex.threadFindBar.noResults":"0 rezultate","codex.threadFindBar.placeholder":"Caută în fir…","codex.threadFindBar.placeholder.extension":"Caută în fir…","codex.threadFindBar.placeholder.review":"Caută diferențe...","codex.threadFindBar.placeholder.review.extension":"Caută diferențe...","codex.threadFindBar.previousResult":"Rezultatul anterior","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fișier modificat} few {# fișiere modificate} other {# de fișiere modificate}}","codex.unifiedDiff.inlineLargeFile":"Este prea mare pentru a fi redată în linie","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Anulează","codex.unifiedDiff.revertPatchError":"Nu s-a reușit anularea modificărilor","codex.unifiedDiff.revertPatchSuccess":"Modificările au fost anulate","codex.unifiedDiff.reviewChangesSuffix":"modificări","codex.unifiedDiff.reviewShort":"Revizuiește","codex.unifiedDiff.viewDiffTooltip":"Revizuiește","codex.upsellBanner.business.headline":"Pentru a beneficia de mai mult acces acum, trimite-i o solicitare administratorului tău sau așteaptă până la {resetDate}.","codex.upsellBanner.cbp.headline":"Pentru a beneficia de mai mult acces acum, trimite-i o solicitare administratorului tău.","codex.upsellBanner.cta.addCredits":"Adaugă credite","codex.upsellBanner.cta.upgradeAccount":"Fă upgrade","codex.upsellBanner.cta.viewUsage":"Vizualizează utilizarea","codex.upsellBanner.free.trialHeadline":"Limita tarifară se va reseta la {resetDate}. Pentru a continua să folosești Codex și a avea acces la GPT-5.3-Codex, începe astăzi versiunea de încercare gratuită a planului Plus.","codex.upsellBanner.freeOrGo.headline":"Limita tarifară se resetează la {resetDate}. Pentru a putea continua să utilizezi Codex, fă upgrade la Plus astăzi.","codex.upsellBanner.general.headline":"Limita tarifară se resetează la {resetDate}.","codex.upsellBanner.general.title":"Ai epuizat mesajele către Codex","codex.upsellBanner.go.trialHeadline":"Limita tarifară se va reseta la {resetDate}. Pentru a continua să folosești Codex, începe astăzi versiunea de încercare gratuită a planului Plus.","codex.upsellBanner.plus.headline":"Limita tarifară se resetează la {resetDate}. Pentru a putea continua să utilizezi Codex, adaugă credite sau fă upgrade la Pro astăzi.","codex.upsellBanner.pro.headline":"Limita tarifară se resetează la {resetDate}. Adaugă credite pentru a putea continua acum să folosești Codex.","codex.userMessage.autoResolveSync":"Soluționează automat conflictele","codex.userMessage.commentCount":"{count, plural, one {# comentariu} few {# comentarii} other {# de comentarii}}","codex.userMessage.copiedAriaLabel":"Copiat","codex.userMessage.copiedTooltip":"Copiat","codex.userMessage.copyAriaLabel":"Copiază mesajul","codex.userMessage.copyTooltip":"Copiază","codex.userMessage.implementPlan":"Implementează un plan","codex.userMessage.noContent":"(Niciun conținut)","codex.userMessage.priorConversation":"Inspiră-te din conversația anterioară","codex.userMessage.reviewMode":"Mod de revizuire","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"pentru {query}","codex.webSearch.summary.verb.completed":"S-a căutat pe web","codex.webSearch.summary.verb.inProgress":"Se caută pe web","codex.windowsInstallWslBanner.dismiss":"Ignoră","codex.windowsInstallWslBanner.installWslCta":"Activează mediul de testare","codex.windowsInstallWslBanner.learnMore":"Află mai multe","codex.windowsSandboxBanner.content":"Modul Agent utilizează un mediu de testare experimental în Windows pentru a limita accesul la sistemul de fișiere și la rețea. {sandboxLink}","codex.windowsSandboxBanner.title":"Activează mediul de testare pentru modul Agent","codex.windowsSubDropdown.windowsSandbox":"Mediu de testare Windows","codex.windowsSubDropdown.windowsSettings":"Setări Windows","codexUpgradeModal.body":"Cel mai recent model de codare cu agenți de ultimă generație: mai inteligent, mai rapid și mai performant în cadrul activităților tehnice generale. {link}","codexUpgradeModal.close":"Închide","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Află mai multe","codexUpgradeModal.title":"Îți prezentăm GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Încearcă acum GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Continuă cu modelul actual","commentAttachments.numComments":"{count, plural, one {# comentariu} few {# comentarii} other {# de comentarii}}","commentAttachments.removeAriaLabel":"Elimină atașamentul comentariilor","common.close":"Închide","composer.addContext.openFilePickerError":"Selectorul de fișiere nu poate fi deschis","composer.addContextDropdown.ariaLabel":"Adaugă fișiere și multe altele","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Adaugă fișiere și multe altele","composer.addPhotosAndFiles":"Adaugă fotografii și fișiere","composer.atMentionList.emptyQuery":"Tastează pentru a căuta fișiere","composer.atMentionList.loading":"Se caută…","composer.atMentionList.noResults":"Niciun rezultat","composer.attemptsSelector.option":"{count, plural, one {# versiune} few {# versiuni} other {# de versiuni}}","composer.attemptsSelector.tooltip":"Număr de încercări paralele pe care le face Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Oprește","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Local","composer.cloudFollowUp.whereRun":"Unde ar trebui să ruleze această acțiune ulterioară?","composer.cloudTaskCreationError":"Eroare la crearea sarcinii din cloud","composer.cloudTaskError":"Eroare la crearea sarcinii","composer.contextWindow.autoCompactionTooltipLine1":"Codex își compactează automat contextul","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Fereastră context:","composer.contextWindowUsageStatusFull":"Memorie plină în proporție de {usage}%","composer.contextWindowUsageStatusLeft":"{usage}% utilizat ({remaining}% rămas)","composer.contextWindowUsageTooltip":"{usedTokens}.000 / {contextWindow}.000 tokenuri utilizate","composer.customCliTooltip":"Se utilizează un executabil CLI personalizat","composer.dictation.aria":"Dictează","composer.dictation.cancel.aria":"Oprește dictarea","composer.dictation.cancel.tooltip":"Oprește dictarea","composer.dictation.startError":"Dictarea nu poate fi începută","composer.dictation.submit.aria":"Transcrie și trimite","composer.dictation.submit.tooltip":"Transcrie și trimite","composer.dictation.tooltip":"Menține pentru a dicta","composer.dictation.transcribeError":"Elementul audio nu poate fi transcris","composer.dictation.unsupported":"Dictarea nu este disponibilă pe acest dispozitiv","composer.dropOverlay.holdShift":"Menține {key} pentru a plasa","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Creează un mediu nou","composer.environmentSelector.error":"Eroare la încărcarea mediilor","composer.environmentSelector.goBack":"Înapoi la instrumentul de compunere","composer.environmentSelector.title":"Selectează mediu","composer.environmentSelector.tooltip":"Selectează un mediu cloud","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Selectează un fișier","composer.filePicker.selectFiles":"Selectează fișiere","composer.followerTooltip":"Pentru a putea continua, întoarce-te la fereastra unde a început această conversație.","composer.footer.branchSwitch.checkoutError":"Schimbarea ramificației nu a reușit: {message}","composer.footer.branchSwitch.createAndCheckout":"Creează și comută pe o ramificație nouă...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Validează modificările pentru a crea și a comuta pe o ramificație nouă","composer.footer.branchSwitch.createBranchError":"Crearea ramificației nu a reușit: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Nume ramificație","composer.footer.branchSwitch.createDialog.branchExistsError":"Ramificația există deja.","composer.footer.branchSwitch.createDialog.close":"Închide","composer.footer.branchSwitch.createDialog.createAndCheckout":"Creează și comută","composer.footer.branchSwitch.createDialog.placeholder":"ramificație nouă","composer.footer.branchSwitch.createDialog.title":"Creează și comută pe o ramificație","composer.footer.branchSwitch.createDialog.trailingSlashError":"Numele ramificației nu se poate termina în „/”.","composer.footer.branchSwitch.tooltip":"Schimbă ramificația","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Validează modificările în {fileCount, plural, one {# fișier} few {# (de) fișiere} other {# (de) fișiere}} pentru a comuta {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Validează","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"modificări în {fileCount, plural, one {# fișier} few {# (de) fișiere} other {# (de) fișiere}} pentru a comuta {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Anulează","composer.footer.branchSwitch.uncommittedDialog.commit":"Validează și schimbă ramificația...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Modificările tale asupra următoarelor fișiere ar trebui să fie suprascrise prin comutare:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Validează-ți modificările pentru a continua","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ramificația selectată","composer.footer.branchSwitch.uncommittedDialog.title":"Validează modificările pentru a schimba ramificația","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nevalidate: {fileCount, plural, one {# fișier} few {# (de) fișiere} other {# (de) fișiere}}","composer.forkSlashCommand.description":"Bifurcă acest fir într-un arbore de lucru local sau nou","composer.forkSlashCommand.option.local.description":"Continuă într-un fir local nou","composer.forkSlashCommand.option.local.title":"Bifurcă local","composer.forkSlashCommand.option.worktree.description":"Continuă într-un arbore de lucru nou","composer.forkSlashCommand.option.worktree.title":"Bifurcă într-un arbore de lucru nou","composer.forkSlashCommand.title":"Creează o copie bifurcată","composer.ideContextIndicator":"Context IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Include contextul din IDE","composer.ideContextIndicator.tooltipToggle":"pentru a comuta","composer.ideContextSlashCommand.disableDescription":"Dezactivează contextul IDE","composer.ideContextSlashCommand.enableDescription":"Include selecția curentă, fișierele deschise și alte contexte din IDE","composer.ideContextSlashCommand.title":"Context IDE","composer.imageInputsUnsupported":"Acest model nu acceptă intrările de tip imagine. Încearcă un alt model.","composer.imageUploadFailed":"Nu s-a reușit încărcarea imaginii","composer.includeIdeContextDropdown":"Include contextul IDE","composer.includeIdeContextDropdown.ariaLabel":"Include contextul IDE","composer.localCwdDropdown.addWorkspaceRoot":"Adaugă un proiect nou","composer.localCwdDropdown.noActiveRoot":"Selectează-ți proiectul","composer.localCwdDropdown.noResults":"Nu a fost găsit niciun folder","composer.localCwdDropdown.title":"Selectează-ți proiectul","composer.localTaskError":"Eroare la începerea conversației","composer.mcpSlashCommand.description":"Afișează starea serverului MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Neautentificat","composer.mcpStatus.authOauth":"Autentificat (OAuth)","composer.mcpStatus.authToken":"Autentificat (cheie API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Închide","composer.mcpStatus.disabled":"Dezactivat","composer.mcpStatus.emptyLabel":"Servere:","composer.mcpStatus.emptyValue":"Niciun server MCP configurat","composer.mcpStatus.enabled":"Activat","composer.mcpStatus.errorLabel":"Stare:","composer.mcpStatus.errorValue":"Starea serverului MCP nu poate fi încărcată","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Schimbă modul","composer.mode.agentMode.custom":"Personalizează","composer.mode.agentMode.custom.dropdownLabel":"Personalizează","composer.mode.agentMode.custom.option":"Personalizează (config.toml)","composer.mode.agentMode.custom.optionLabel":"Personalizează (config.toml)","composer.mode.agentMode.customInfo.cancel":"Anulează","composer.mode.agentMode.customInfo.cli":"Poți ajusta aceste setări din CLI sau editând fișierul direct.","composer.mode.agentMode.customInfo.confirm":"Utilizează modul personalizat","composer.mode.agentMode.customInfo.description":"Modul personalizat aplică politicile privind aprobarea și acțiunile care se pot rula într-un mediu de testare, definite în fișierul tău<link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Află mai multe despre configurarea politicilor privind aprobarea și acțiunile care se pot rula într-un mediu de testare în<link>documentele despre mediul de execuție</link>.","composer.mode.agentMode.customInfo.refresh":"Orice modificări devin aplicabile începând cu următoarea rulare a agentului.","composer.mode.agentMode.customInfo.title":"Cum funcționează modul personalizat","composer.mode.agentMode.fullAccess":"Agent (acces complet)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (acces complet)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (acces complet)","composer.mode.agentMode.fullAccessConfirm.caution":"Ai grijă atunci când activezi accesul complet. Această setare crește semnificativ riscul de pierderi, scurgeri de date sau comportament neașteptat.","composer.mode.agentMode.fullAccessConfirm.confirm":"Da, continuă oricum","composer.mode.agentMode.fullAccessConfirm.description":"Atunci când Codex rulează cu acces complet, poate edita orice fișier din computerul tău și poate rula comenzi legate de rețea, fără aprobarea ta.","composer.mode.agentMode.fullAccessConfirm.goBack":"Anulează","composer.mode.agentMode.fullAccessConfirm.title":"Activezi accesul complet?","composer.mode.agentMode.readOnly":"Discuție","composer.mode.agentMode.readOnly.dropdownLabel":"Discuție","composer.mode.agentMode.readOnly.optionLabel":"Discuție","composer.mode.agentMode.tooltip":"Schimbă modul","composer.mode.agentMode.tooltip.auto":"Citește și editează fișiere și rulează comenzi.","composer.mode.agentMode.tooltip.custom":"Utilizează cele mai recente politici privind aprobarea și acțiunile care se pot rula într-un mediu de testare, definite în config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex poate edita fișiere în afara acestui proiect și poate rula comenzi cu acces la rețea. Ai grijă atunci când utilizezi acest mod.","composer.mode.agentMode.tooltip.readOnly":"Necesită aprobare pentru editarea fișierelor și rularea comenzilor.","composer.mode.cloud.tooltip":"Lucrează într-un mediu cloud","composer.mode.contactAdmin":"Contactează administratorul pentru a obține acces extins","composer.mode.local":"Local","composer.mode.local.learnMore":"Află mai multe","composer.mode.local.model.custom":"Personalizează","composer.mode.local.model.loadingModel":"Se încarcă modelul","composer.mode.local.model.selecrReasoningEffort":"Selectează dezvoltarea un raționament","composer.mode.local.model.selectModel":"Selectează modelul","composer.mode.local.model.tooltip":"Alege modelul","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Nivel ridicat","composer.mode.local.reasoning.low.label":"Nivel scăzut","composer.mode.local.reasoning.medium.label":"Nivel mediu","composer.mode.local.reasoning.minimal.label":"Minim","composer.mode.local.reasoning.none.label":"Fără","composer.mode.local.reasoning.xhigh.label":"Foarte ridicat","composer.mode.localRemoteWhereRun":"Selectează unde să ruleze sarcina","composer.mode.newTask.header":"Continuă în","composer.mode.rateLimit.day":"{days} (de) zi(le)","composer.mode.rateLimit.heading":"Limite tarifare rămase","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Limită {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {limită săptămânală} few {limita pentru {weeks} săptămâni} other {limita pentru {weeks} de săptămâni}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Săptămânal} few {{weeks} săptămâni} other {{weeks} de săptămâni}}","composer.mode.remote.connectToCloud":"Conectează Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Configurează un mediu prin intermediul Codex web pentru a activa trimiterea sarcinilor în cloud","composer.mode.remote.selectEnvironment":"Selectează mediu","composer.mode.remote.sendToCloud":"Trimite în cloud","composer.mode.remote.setupViaWeb":"Configurează un mediu prin intermediul Codex web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Lucrează în mediul cloud","composer.mode.segmentedToggle.local.tooltip":"Lucrează în proiectul tău local","composer.mode.segmentedToggle.worktree.tooltip":"Lucrează într-un arbore de lucru paralel","composer.mode.upgradeToPlus":"Fă upgrade la Plus","composer.mode.upgradeToPro":"Fă upgrade la Pro","composer.mode.workLocally":"Proiect local","composer.mode.workLocally.currentBranchFallback":"ramificația ta","composer.mode.workLocally.tooltip":"Lucrează în {branchName}","composer.mode.worktree":"Arbore de lucru nou","composer.mode.worktree.submoduleWarning":"Acest depozit are submodule git. Crearea arborelui de lucru poate eșua","composer.mode.worktree.tooltip":"Creează o copie a proiectului tău local pentru a lucra în paralel","composer.mode.worktreeSegment":"Arbore de lucru","composer.modelChangeDuringConversationWarning.toast":"Schimbarea modelelor în timpul unei conversații va afecta negativ performanța.","composer.newChat.heading.browser":"Ce să codăm în continuare?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex folosește permisiunea definită în config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex are acces deplin la computerul tău (risc crescut)","composer.permissionsDropdown.custom.label":"Personalizează (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Personalizează (config.toml)","composer.permissionsDropdown.default.label":"Permisiuni implicite","composer.permissionsDropdown.default.optionLabel":"Permisiuni implicite","composer.permissionsDropdown.default.tooltip":"Codex execută automat comenzi într-un mediu de testare","composer.permissionsDropdown.disabled.requirements":"Permisiunile sunt blocate de requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Accesul complet este dezactivat de requirements.toml","composer.permissionsDropdown.fullAccess.label":"Acces complet","composer.permissionsDropdown.fullAccess.optionLabel":"Acces complet","composer.permissionsDropdown.trigger.tooltip":"Schimbă permisiunile","composer.personalitySlashCommand.description.friendly":"Cald, cooperant și săritor","composer.personalitySlashCommand.description.pragmatic":"Concis, atent și direct","composer.personalitySlashCommand.label.friendly":"Prietenos","composer.personalitySlashCommand.label.pragmatic":"Pragmatic","composer.personalitySlashCommand.notApplicableSuffix":"(Nu se aplică pentru modelul actual)","composer.personalitySlashCommand.title":"Personalitate","composer.placeholder.cloudFollowUp.directFollowUp":"Urmărește această sarcină în cloud","composer.placeholder.cloudFollowUp.local":"Creează o nouă sarcină locală care se inspiră din această sarcină din cloud","composer.placeholder.cloudFollowUp.workingTree":"Creează o nouă sarcină în cloud care include codul tău curent și care se inspiră din această sarcină","composer.placeholder.localFollowUp.cloud":"Urmărește în cadrul unei noi sarcini în cloud","composer.placeholder.localFollowUp.locally":"Solicită modificări de urmărire","composer.placeholder.newTask.cloud":"Cere aplicației Codex să facă orice în cloud","composer.placeholder.newTask.doAnything":"Cere aplicației Codex să facă orice","composer.placeholder.newTask.locally":"Întreabă-l pe agentul Codex orice, introdu „@” pentru a adăuga fișiere și „/” pentru comenzi","composer.planModeDropdown":"Mod plan","composer.planModeDropdown.ariaLabel":"Mod plan","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Creează un plan cu ajutorul Codex","composer.planModeIndicator.tooltipToggle":"pentru a comuta","composer.planSlashCommand.disableDescription":"Dezactivează modul planului","composer.planSlashCommand.enableDescription":"Activează modul planului","composer.planSlashCommand.title":"Mod plan","composer.priorContext.label":"Contextul anterior","composer.priorContext.removeAriaLabel":"Elimină contextul anterior","composer.queuedMessage.delete":"Șterge mesajul plasat în coadă","composer.queuedMessage.edit":"Editează mesajul","composer.queuedMessage.more":"Acțiuni mesaj plasat în coadă","composer.queuedMessage.sendNow":"Ghidează","composer.queuedMessage.sendNowTooltip":"Trimite acum fără a întrerupe activitatea","composer.queuedMessage.turnOff":"Dezactivează plasarea în coadă","composer.reasoningEffort.local.reasoning.tooltip":"Selectează efortul la dezvoltarea unui raționament","composer.remote.branchStartingPoint":"De la ce ramificație ar trebui să pornească această sarcină?","composer.remote.branchesSectionHeading":"Ramificații","composer.remote.currentEditsSuffix.followUp":"Creează o sarcină nouă care se inspiră această sarcină din cloud.","composer.remote.currentEditsSuffix.useLocal":"cu modificări locale ale codului","composer.remote.directFollowUp":"Nu utiliza modificările locale","composer.remote.errorLoadingBranches":"Eroare la încărcarea ramificațiilor","composer.remote.fromBranch":"Din {branch}","composer.remote.fromCurrentBranch":"Din ramificația {branch} (curentă)","composer.remote.loadingMoreBranches":"Se încarcă…","composer.remote.localFileStateHeading":"Starea fișierului local","composer.remote.localWorkingTree":"Utilizează modificările locale","composer.remote.startingPoint":"De la ce cod ar trebui să pornească această sarcină?","composer.reviewMode.branches.error":"Ramificațiile nu pot fi încărcate","composer.reviewMode.branches.retry":"Reîncearcă","composer.reviewMode.gitRoot.error":"Nu a fost găsită rădăcina git","composer.reviewMode.option.baseBranch.simple":"Revizuiește în comparație cu o ramificație de bază","composer.reviewMode.option.unstaged.simple":"Revizuiește modificările nevalidate","composer.reviewMode.quickReviewError":"Pornirea revizuirii codului a eșuat.","composer.reviewMode.title":"Revizuire cod","composer.sandboxButton.unlock.disabled.tooltip":"Accesul complet este dezactivat de requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex poate utiliza un mediu de testare experimental în Windows pentru a limita accesul la sistemul de fișiere și la rețea. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Activezi mediul de testare Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Folosește doar în citire","composer.searchEnvironments":"Caută medii","composer.skillMentionList.app":"Aplicație","composer.skillMentionList.loading":"Se încarcă abilități...","composer.skillMentionList.noResults":"Nu s-a găsit nicio abilitate","composer.slashCommands.cloudEnvironment.title":"Mediu cloud","composer.slashCommands.dialogLabel":"Meniu comenzi de tip slash","composer.slashCommands.dialogTitle":"Comenzi de tip slash","composer.slashCommands.disabledTooltip":"Începe o conversație nouă pentru a utiliza comenzi de tip slash","composer.slashCommands.inputPlaceholder":"Caută","composer.slashCommands.noResults":"Nicio comandă","composer.slashCommands.skillsGroup":"Abilități","composer.slashCommands.tooltip":"Caută comenzi de tip slash","composer.status.close":"Închide","composer.statusPlain.alertLabel":"Alertă:","composer.statusPlain.alertValue":"Disponibilitate rămasă: {remaining}% în perioada {window}","composer.statusPlain.contextLabel":"Context:","composer.statusPlain.contextTotal":"{count} (de) mii","composer.statusPlain.contextValueMetadata":"(utilizate: {used}/{total})","composer.statusPlain.contextValueRemaining":"Disponibilitate rămasă: {remaining}%","composer.statusPlain.heading":"Stare","composer.statusPlain.modelRateLimitSectionLabel":"Limită {modelName}:","composer.statusPlain.rateLimitDays":"Limită: {count} (de) zi(le)","composer.statusPlain.rateLimitFallbackLabel":"Limită tarifară:","composer.statusPlain.rateLimitHours":"Limită: {count} (de) oră(e)","composer.statusPlain.rateLimitLabelBase":"Limită tarifară","composer.statusPlain.rateLimitMinutes":"Limită: {count} (de) minut(e)","composer.statusPlain.rateLimitPercent":"Disponibilitate rămasă: {remaining}%","composer.statusPlain.rateLimitReset":"se resetează la {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"ora resetării nu este disponibilă","composer.statusPlain.rateLimitUnavailable":"Indisponibile","composer.statusPlain.sessionCopiedAriaLabel":"ID sesiune copiat","composer.statusPlain.sessionCopiedTooltip":"ID copiat","composer.statusPlain.sessionCopyAriaLabel":"Copiază ID-ul sesiunii","composer.statusPlain.sessionCopyTooltip":"Copiază ID-ul","composer.statusPlain.sessionLabel":"Sesiune:","composer.statusSlashCommand.description":"Afișează ID-ul firului, utilizarea contextului și limitele tarifare","composer.statusSlashCommand.title":"Stare","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Mesajul nu a putut fi trimis","composer.submit.emptyMessage":"Introdu un mesaj pentru a începe","composer.submit.imageInputsUnsupported":"Pentru a trimite acest mesaj, elimină imaginile sau schimbă modelul.","composer.submit.loadingLocalConfig":"Se încarcă…","composer.submit.missingCloudConfig":"Trebuie să alegi un mediu cloud","composer.submit.missingCloudTurn":"Nu pot fi create acțiuni ulterioare pentru această sarcină","composer.submit.noWorkspace":"Adaugă un proiect pentru a folosi Codex","composer.submit.waitForImageUploads":"Se încarcă imaginile…","composer.submitButtonTooltip.send":"Trimite","composer.submitButtonTooltip.stop":"Oprește","composer.worktreeEnvironment.create":"Creează un mediu local","composer.worktreeEnvironment.default":"Mediu implicit","composer.worktreeEnvironment.error":"Eroare la încărcarea mediilor","composer.worktreeEnvironment.loading":"Se încarcă mediile...","composer.worktreeEnvironment.title":"Mediu local","composer.worktreeEnvironment.tooltip":"Selectează un mediu local","composer.worktreeSetupFailed":"Configurarea arborelui de lucru a eșuat. Verifică în .codex/environments pentru un script de configurare.","compoundButton.secondaryAction":"Acțiune secundară","copyButton.copied":"Copiat","copyButton.copiedAriaLabel":"Copiat","copyButton.copy":"Copiază","copyButton.copyAriaLabel":"Copiază","copyButton.copyCode":"Copiază codul","diff.actionButton.revertFile":"Anulare modificări la fișier","diff.actionButton.revertHunk":"Anulare modificări","diff.actionButton.revertSection":"Anulează tot","diff.actionButton.revertSectionLabel":"Anulează tot","diff.actionButton.stageFile":"Etapizează fișier","diff.actionButton.stageHunk":"Etapizează","diff.actionButton.stageSection":"Etapizează tot","diff.actionButton.stageSectionLabel":"Etapizează tot","diff.actionButton.unstageFile":"Anulează etapizarea fișierului","diff.actionButton.unstageHunk":"Anulează etapizarea","diff.actionButton.unstageSection":"Anulează etapizarea peste tot","diff.actionButton.unstageSectionLabel":"Anulează etapizarea peste tot","diff.fileHeader.toggle":"Comută la diferențele fișierului","electron.onboarding.login.apikey.cancel":"Anulează","electron.onboarding.login.apikey.continue":"Continuă","electron.onboarding.login.apikey.label":"Cheie API OpenAI","electron.onboarding.login.apikey.open":"Introdu cheia API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Anulează conectarea","electron.onboarding.login.chatgpt.continue":"Continuă cu ChatGPT","electron.onboarding.login.devbox":"Conectează-te prin SSH la distanță","electron.onboarding.login.error":"Conectare eșuată: {rawMessage}","electron.onboarding.login.snake.start":"Joacă Snake","electron.onboarding.login.sshConfig.cancel":"Anulează","electron.onboarding.login.sshConfig.continue":"Continuă","electron.onboarding.login.sshConfig.hostnameLabel":"Nume de gazdă SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Cea mai bună modalitate de a construi cu agenți","electron.onboarding.login.title":"Bine ai venit la Codex!","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Continuă","electron.onboarding.welcome.doubleLimits.description":"Pentru a celebra lansarea aplicației Codex, beneficiezi de o limită de tarifare dublă până pe 2 aprilie.","electron.onboarding.welcome.freego.description":"Codex este inclus gratuit în planul tău până pe 2 martie. Să începem să construim împreună.","electron.onboarding.welcome.new.title.anon":"Bine ai venit!","electron.onboarding.workspace.continue":"Continuă","electron.onboarding.workspace.empty":"Adaugă un proiect pentru a continua.","electron.onboarding.workspace.listLabel":"Proiecte disponibile","electron.onboarding.workspace.loading":"Se încarcă proiectele...","electron.onboarding.workspace.openFolder":"Adaugă proiect","electron.onboarding.workspace.selectAll":"Selectează tot","electron.onboarding.workspace.skip":"Omite","electron.onboarding.workspace.skip.error":"Nu am putut crea un proiect nou: {message}","electron.onboarding.workspace.skip.error.unknown":"Eroare necunoscută","electron.onboarding.workspace.skipping":"Se creează un proiect nou...","electron.onboarding.workspace.subtitle":"Codex va putea edita fișiere și executa comenzi în folderele selectate.","electron.onboarding.workspace.title":"Selectează un proiect","errorPage.list.checkSettings":"Încearcă să-ți actualizezi setările IDE","errorPage.list.configToml":"Verifică fișierul tău config.toml pentru eventuale setări nevalide","errorPage.list.downloadExtension":"Încearcă să descarci o versiune diferită a extensiei","errorPage.list.runInWsl":"Dacă observi probleme de compatibilitate, verifică-ți setările pentru a dezactiva rularea în WSL","execApprovalRequest.menu.runAlways":"Da și nu mai întreba în această sesiune","execApprovalRequest.menu.runAlwaysWithAmendment":"Da, și nu mai întreba în cazul comenzilor care încep cu {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Da, și nu mai întreba în cazul comenzilor care încep cu","execApprovalRequest.menu.runOnce":"Da","execApprovalRequest.prompt":"Dorești să execuți această comandă?","execApprovalRequest.reject":"Nu","execFooter.exitCode":"Cod de ieșire {code}","execFooter.exitCode.unknown":"necunoscut","execFooter.success":"Succes","feedback.dialog.category.badResult":"Rezultat incorect","feedback.dialog.category.bug":"Eroare","feedback.dialog.category.goodResult":"Rezultat bun","feedback.dialog.category.other":"Altceva","feedback.dialog.descriptionPlaceholder":"Descrie aici problema","feedback.dialog.dismiss":"Ignoră","feedback.dialog.includeLogsLabel":"Include jurnalele sesiunii Codex actuale","feedback.dialog.submit":"Trimite","feedback.dialog.submitError":"Nu am putut trimite feedbackul. Încearcă din nou în scurt timp.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"problema deschisă existentă","feedback.dialog.uploadedMessage.openIssue":"deschide o problemă GitHub","feedback.dialog.uploadedMessage.withThread":"Feedbackul a fost încărcat. Dacă problema persistă, {openIssueLink} sau menționează ID-ul firului conversației în {existingIssueLink}:","feedback.dialog.uploadedTitle":"Feedbackul a fost încărcat","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Elimină {filename}","header.back":"Înapoi","header.recentChats":"Sarcini","header.recentTasks.seeAll":"Vizualizează tot ({total})","home.header.getPlus":"Treci la Plus","home.hero.letsBuild":"Să construim","homePage.mainContent":"Conținut principal","imageAttachment.defaultName":"imagine","imageAttachment.preview.close":"Închide previzualizarea imaginii","imageAttachment.removeAriaLabel":"Elimină {filename}","implementPlanRequest.option.implement":"Da, implementează acest plan","implementPlanRequest.prompt":"Implementezi acest plan?","inbox.archived.deleteError":"Rularea arhivată nu a putut fi ștearsă","inbox.archived.deleteRun":"Șterge rularea arhivată","inbox.archived.deleteSuccess":"Firul arhivat a fost șters. Vizualizează în <settingsLink>Fire arhivate</settingsLink>.","inbox.archived.inlineLabel.auto":"Acest fir a fost arhivat automat. <learnMoreLink>Află mai multe</learnMoreLink>","inbox.archived.inlineLabel.manual":"Acest fir a fost arhivat.","inbox.archived.noMessageFound":"Nu a fost găsit niciun mesaj","inbox.automations.createError":"Automatizarea nu a putut fi creată","inbox.automations.deleteConfirm.cancel":"Anulează","inbox.automations.deleteConfirm.confirm":"Șterge automatizarea","inbox.automations.deleteConfirm.description":"Această acțiune va șterge definitiv automatizarea și va opri toate rulările viitoare.","inbox.automations.deleteConfirm.title":"Ștergi {name}?","inbox.automations.deleteError":"Automatizarea nu a putut fi ștearsă","inbox.automations.editTooltip":"Editează automatizarea","inbox.automations.inProgress":"În curs","inbox.automations.new":"Nou","inbox.automations.newToolbar":"Automatizare nouă","inbox.automations.pauseTooltip":"Întrerupe automatizarea","inbox.automations.resumeTooltip":"Reia automatizarea","inbox.automations.startingNow":"Se pornește acum","inbox.automations.startsIn":"Automatizarea începe în {startTime}","inbox.automations.status.active":"Active","inbox.automations.status.paused":"În pauză","inbox.automations.status.runs":"{count} (de) rulări","inbox.automations.status.started":"Automatizare începută la {date}","inbox.automations.updateError":"Automatizarea nu a putut fi actualizată","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Toate","inbox.filter.ariaLabel":"Filtrează elementele din inbox","inbox.filter.unread":"Necitite","inbox.list.archived":"Arhivat(e)","inbox.list.inProgress":"În curs","inbox.list.recent":"Finalizate","inbox.list.upNext":"Programată(e)","inbox.mode.automations":"Automatizări","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nu a fost furnizată nicio descriere","inbox.openThread":"Deschide firul","inbox.rightPanel.emptySubtitle":"Automatizează-ți munca prin configurarea sarcinilor programate","inbox.rightPanel.emptySubtitle.learnMore":"Automatizează activitățile prin configurarea unor fire programate. <link>Află mai multe</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatizare activă} few {# automatizări active} other {# de automatizări active}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nu există automatizări necitite","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatizare necitită} few {# automatizări necitite} other {# de automatizări necitite}}","inbox.rightPanel.emptyTitle":"Niciun element selectat","inbox.rightPanel.noThread":"Niciun fir legat de acest element","inbox.rightPanel.quickStart.header":"Începe cu un șablon","inbox.untitled":"Articol fără titlu din inbox","loadingPage.documentationLink":"documentație","loadingPage.errorDescription":"Codex a eșuat, prezentând următoarea eroare:","loadingPage.errorDescription.documentation":"Apasă pe Reîncarcă pentru a reporni extensia Codex sau accesează {documentationLink} pentru ajutor suplimentar.","loadingPage.errorSignal":"Iată câteva lucruri pe care le poți încerca:","loadingPage.errorTitle":"A apărut o eroare","loadingPage.openConfigToml":"Deschide Config.toml","loadingPage.reload":"Reîncarcă","localConversation.contextCompacted":"Context compactat automat","localConversation.contextCompacting":"Se compactează automat textul","localConversation.forkedFromConversation":"Bifurcată din {threadTitle}","localConversation.merge.autoResolve.failed":"Solicitarea de rezolvare automată a eșuat: {error}","localConversation.merge.autoResolve.sent":"Solicitarea de rezolvare automată a fost trimisă","localConversation.merge.autoResolveMerge.missingConversation":"Rezolvarea automată e imposibilă dacă nu e deschisă o conversație activă.","localConversation.merge.autoResolveMerge.request":"Rezolvă automat conflictele de îmbinare","localConversation.modelChanged":"Model schimbat din {fromModel} în {toModel}.","localConversation.modelChanged.warning.line1":"Schimbarea modelelor în timpul unei conversații va afecta negativ performanța.","localConversation.modelChanged.warning.line2":"Contextul se poate compacta automat","localConversation.moveThread.createBranch.label":"Creează o ramificație","localConversation.moveToLocal.disabled.loading":"Se încarcă…","localConversation.moveToLocal.modal.continue":"Continuă","localConversation.moveToLocal.modal.destinationLabel":"Mută ​​în","localConversation.moveToLocal.modal.retry":"Reîncearcă","localConversation.moveToWorktree.modal.back":"Înapoi","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Ramificația există deja.","localConversation.moveToWorktree.modal.branchesError":"Ramificațiile nu pot fi încărcate","localConversation.moveToWorktree.modal.branchesLoading":"Se încarcă ramificațiile...","localConversation.moveToWorktree.modal.branchesRetry":"Reîncearcă","localConversation.moveToWorktree.modal.continue":"Continuă","localConversation.moveToWorktree.modal.retry":"Reîncearcă","localConversation.moveToWorktree.modal.trailingSlashError":"Numele ramificației nu se poate termina în „/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ramificație nouă","localConversation.personalityChanged":"Ai schimbat în personalitatea {personality}","localConversation.planSummary.collapse":"Restrânge rezumatul planului","localConversation.planSummary.collapseTooltip":"Restrânge","localConversation.planSummary.download":"Descarcă planul","localConversation.planSummary.expand":"Extinde rezumatul planului","localConversation.planSummary.expandTooltip":"Extinde","localConversation.planSummary.openInNewWindow":"Deschide","localConversation.planSummary.openInNewWindow.tooltip":"Deschide într-o fereastră nouă","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plan de scriere","localConversation.planSummary.viewPlan":"Extinde planul","localConversation.remoteTaskCreated":"Sarcina {taskLink} a fost creată în cloudul Codex","localConversation.remoteTaskCreated.task":"sarcină","localConversation.scrollToBottomButton":"Derulează până jos","localConversation.sync.buttonLabel":"Predă ramificației locale","localConversation.sync.buttonLabel.tooltip":"Predă modificările dintre acest arbore de lucru și comutarea ta locală.","localConversation.sync.modal.loading.title":"Se predau modificările...","localConversation.sync.modal.noChanges":"Nicio modificare","localConversation.syncSetup.branchAriaLabel":"Nume ramificație","localConversation.syncSetup.branchName":"Nume ramificație","localConversation.syncSetup.branchPlaceholder.existing":"Selectează ramificația existentă","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Se încarcă ramificațiile...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"A fost comutată deja","localConversation.syncSetup.checkoutClean":"Ramificație curentă: {branchName}","localConversation.syncSetup.checkoutDirty":"Momentan la {branchName} cu modificări nevalidate","localConversation.syncSetup.checkoutError":"Comutarea ramificației a eșuat: {message}","localConversation.syncSetup.checkoutLabel":"Comută local acum","localConversation.syncSetup.checkoutOnLocal":"Predă ramificației locale","localConversation.syncSetup.checkoutPending":"Se verifică starea spațiului de lucru local...","localConversation.syncSetup.checkoutUnavailable":"Spațiul de lucru local nu este disponibil","localConversation.syncSetup.checkoutUnknown":"Ramificația locală este indisponibilă","localConversation.syncSetup.continue":"Continuă","localConversation.syncSetup.createBranchError":"Setarea ramificației de predare a eșuat: {message}","localConversation.syncSetup.error":"Ceva nu a funcționat corect: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nu am putut realiza un instantaneu al arborelui de lucru. Reîncearcă predarea.","localConversation.syncSetup.mode.ariaLabel":"Selectează modul ramificației","localConversation.syncSetup.mode.existing":"Ramificație existentă","localConversation.syncSetup.mode.new":"Ramificație nouă","localConversation.syncSetup.noBranches":"Nu a fost găsită nicio ramificație","localConversation.syncSetup.overwriteError":"Ramificația a fost creată, însă nu a fost predată complet. Predă-o manual înainte de a comuta local.","localConversation.syncSetup.setPrefix":"Stabilește prefix","localConversation.syncSetup.subtitle":"Testează și editează local modificările arborelui de lucru. <a>Află mai multe</a>","localConversation.syncSetup.success.checkedOut":"Ramificația a fost creată și este comutată local","localConversation.syncSetup.success.notCheckedOut":"Ramificația a fost creată","localConversation.syncSetup.title":"Predă unei ramificații locale","localConversation.syncWorktreeError.branchAriaLabel":"Nume ramificație","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Alege o ramificație căreia să o predai, după care reîncearcă să încarci modificările.","localConversation.syncWorktreeError.branchSetup.title":"Actualizează ramificația","localConversation.syncWorktreeError.branchUpdate.cta":"Actualizează și reîncearcă","localConversation.syncWorktreeError.branchUpdate.error":"Actualizarea ramificației a eșuat: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Ceva nu a funcționat corect: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Ramificația nu este comutată în niciun arbore de lucru.","localConversation.syncWorktreeV2.applyUncommitted":"Aplică","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Trebuie să comuți local în ramificație pentru a aplica modificările nevalidate","localConversation.syncWorktreeV2.branches.empty":"Nu a fost găsită nicio ramificație","localConversation.syncWorktreeV2.branches.loading":"Se încarcă ramificațiile...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Modifică ramificația de predare","localConversation.syncWorktreeV2.changeBranch.error":"Modificarea ramificației de predare a eșuat: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Aplicarea a eșuat","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Suprascrierea arborelui de lucru a eșuat","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Suprascrierea ramificației locale a eșuat","localConversation.syncWorktreeV2.commandError.back":"Înapoi","localConversation.syncWorktreeV2.commandError.body":"O comandă git a eșuat în timpul predării. Revizuiește rezultatul și reîncearcă.","localConversation.syncWorktreeV2.commandError.retry":"Reîncearcă","localConversation.syncWorktreeV2.description":"Predă modificările dintre ramificația locală și acest arbore de lucru <a>Află mai multe</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Selectează direcția de predare","localConversation.syncWorktreeV2.error.generic":"Ceva nu a funcționat corect în timpul predării. Încearcă din nou.","localConversation.syncWorktreeV2.localBranchLabel":"Local","localConversation.syncWorktreeV2.noChanges":"Se calculează modificările","localConversation.syncWorktreeV2.noChanges.summary":"Nicio modificare","localConversation.syncWorktreeV2.overwrite.local":"Suprascrie ramificația locală","localConversation.syncWorktreeV2.overwrite.worktree":"Suprascrie arborele de lucru","localConversation.syncWorktreeV2.partial.action.applyFailed":"Modificările nu au putut fi aplicate","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nu am putut suprascrie modificările locale","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nu am putut suprascrie modificările arborelui de lucru","localConversation.syncWorktreeV2.partial.appliedLabel":"Aplicate","localConversation.syncWorktreeV2.partial.back":"Înapoi","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Soluționează conflictele și încearcă din nou.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Conflicte","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fișier} few {# (de) fișiere} other {# (de) fișiere}}","localConversation.syncWorktreeV2.partial.retry":"Reîncearcă","localConversation.syncWorktreeV2.partial.skippedLabel":"Omis","localConversation.syncWorktreeV2.stateFailed.generic":"Ceva nu a funcționat corect în timpul preluării modificărilor arborelui de lucru pentru predare. Încearcă din nou.","localConversation.syncWorktreeV2.stateFailed.title":"Nu s-a reușit încărcarea modificărilor arborelui de lucru","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nu s-a reușit încărcarea modificărilor arborelui de lucru.","localConversation.syncWorktreeV2.statusError.retry":"Reîncearcă","localConversation.syncWorktreeV2.statusError.title":"Nu am putut încărca modificările ramificației locale","localConversation.syncWorktreeV2.statusError.unknown":"Starea ramificației nu este momentan disponibilă. Încearcă din nou.","localConversation.syncWorktreeV2.success.apply":"Modificările au fost aplicate cu succes","localConversation.syncWorktreeV2.success.overwrite":"Predarea a avut succes","localConversation.syncWorktreeV2.title":"Predă modificările","localConversation.syncWorktreeV2.worktreeLabel":"Arbore de lucru","localConversation.userInputRequest.inProgress":"Sunt adresate {count, plural, one {întrebare} few {întrebări} other {de întrebări}}","localConversation.userInputRequest.noAnswer":"Nu a fost furnizat un răspuns","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Adresate","localConversation.userInputRequest.summary.count":"{count, plural, one {# întrebare} few {# întrebări} other {# de întrebări}}","localConversation.workedFor":"A lucrat timp de {time}","localConversation.worktreeBranchSetup.action.create":"Creează","localConversation.worktreeBranchSetup.branchAriaLabel":"Nume ramificație","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Creează o ramificație nouă","localConversation.worktreeBranchSetup.checkoutDisabled":"Ramificația aceasta este deja comutată în {location}","localConversation.worktreeBranchSetup.checkoutError":"Comutarea ramificației a eșuat: {message}","localConversation.worktreeBranchSetup.createBranchError":"Setarea ramificației a eșuat: {message}","localConversation.worktreeBranchSetup.error":"Ceva nu a funcționat corect: {message}","localConversation.worktreeBranchSetup.subtitle":"Creează o ramificație pentru a valida modificările, a le trimite și a crea un PR din acest arbore de lucru. <a>Află mai multe</a>","localConversation.worktreeBranchSetup.title":"Lucrează aici","localConversationPage.addWorktreeToSidebar.tooltip":"Salvează ca proiect astfel încât să poți porni fire noi de la acest arbore de lucru","localConversationPage.addWorktreeToSidebarError":"Proiectul nu a putut fi adăugat","localConversationPage.commitAndCreatePrModal.errorTitle":"Validarea și crearea PR-ului nu au reușit","localConversationPage.commitAndCreatePrModal.successTitle":"PR-ul a fost validat și creat","localConversationPage.commitAndPushModal.errorTitle":"Validarea și trimiterea nu au reușit","localConversationPage.commitAndPushModal.successTitle":"Modificările au fost validate și trimise","localConversationPage.commitCreatePr.open":"Deschide pull requestul","localConversationPage.commitCreatePr.successTitle":"PR-ul a fost creat cu cele mai recente modificări ale tale","localConversationPage.createBranchButtonLabel":"Ramifică în acest punct","localConversationPage.createPrModal.baseBranch":"Bază","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Creează PR","localConversationPage.createPrModal.createDescription":"Deschide un pull request privind cele mai recente modificări.","localConversationPage.createPrModal.errorTitle":"Pull request nereușit","localConversationPage.createPrModal.headBranch":"Vârf","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Deschide PR","localConversationPage.createPrModal.successTitle":"Pull request creat","localConversationPage.createPrModal.title":"Creează pull request","localConversationPage.createPrModal.viewDescription":"Există deja un pull request pentru această ramificație.","localConversationPage.createPrModal.viewTitle":"Pull request existent","localConversationPage.createPullRequestAuthGh":"Autentifică-te pe GitHub CLI: rulează `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informațiile despre ramificație nu sunt disponibile","localConversationPage.createPullRequestButtonLabel":"Creează PR","localConversationPage.createPullRequestButtonLabel.loading":"Se creează PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Informațiile implicte despre ramificație nu sunt disponibile","localConversationPage.createPullRequestError":"Pull requestul nu a putut fi creat","localConversationPage.createPullRequestExistingPullRequest":"Există deja un pull request pentru această ramificație","localConversationPage.createPullRequestGhStatusMissing":"Se încarcă starea GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Instalează GitHub CLI (gh) pentru a crea PR-uri","localConversationPage.createPullRequestNoRepo":"Nu a fost găsit niciun depozit git","localConversationPage.createPullRequestPushStatusMissing":"Se încarcă starea trimiterii…","localConversationPage.createPullRequestSetUpstream":"Publică (Push) această ramificație înainte de a crea un PR","localConversationPage.createPullRequestSuccessToast":"Pull request creat","localConversationPage.createPullRequestSwitchBranch":"Fă check-out pe o ramificație de feature înainte de a crea un PR","localConversationPage.error.render":"Eroare la redarea conversației locale","localConversationPage.error.toast":"Conversația nu a fost găsită","localConversationPage.forcePushError":"Trimiterea forțată nu a reușit","localConversationPage.generatePullRequestMessageError":"Generarea titlului și corpului pull requestului a eșuat","localConversationPage.generatePullRequestMessageFailed":"Generarea titlului și corpului pull requestului a eșuat.","localConversationPage.gitActionResult.branch":"Ramificație","localConversationPage.gitActionResult.cancel":"Anulează","localConversationPage.gitActionResult.close":"Închide","localConversationPage.gitActionResult.tryAgain":"Încearcă din nou","localConversationPage.gitActions":"Acțiuni git","localConversationPage.newChat":"Discuție nouă","localConversationPage.openInTarget":"Deschide în","localConversationPage.openPrimaryTarget":"Deschide","localConversationPage.planItemsCompleted":"{completedItems} din {totalItems, plural, one {# sarcină finalizată} few {# sarcini finalizate} other {# de sarcini finalizate}}","localConversationPage.pushAuthError":"Notificarea de tip push a eșuat: este necesară autentificarea","localConversationPage.pushBranchMissing":"Informațiile despre ramificație nu sunt disponibile","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Trimitere în curs...","localConversationPage.pushError":"Modificările nu au putut fi trimise","localConversationPage.pushModal.branchLabel":"Ramificație","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Anulează","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Trimite cele mai recente validări către depozitul de la distanță.","localConversationPage.pushModal.errorTitle":"Trimiterea nu a reușit","localConversationPage.pushModal.forcePush":"Trimite forțat","localConversationPage.pushModal.successTitle":"Trimitere finalizată","localConversationPage.pushModal.title":"Trimite modificările","localConversationPage.pushModal.tryAgain":"Încearcă din nou","localConversationPage.pushNoUpstream":"Stabilește un upstream înainte de a publica (push) această ramificație","localConversationPage.pushNoUpstreamError":"Trimiterea nu a reușit: nu există configurări în amonte","localConversationPage.pushNothingToPush":"Nu există comiteri noi de publicat","localConversationPage.pushRemoteChangedError":"Trimiterea nu a reușit: există validări noi în depozitul de la distanță","localConversationPage.pushRemoteRejectedError":"Trimitere respinsă de către depozitul de la distanță","localConversationPage.pushStatusMissing":"Se încarcă starea trimiterii…","localConversationPage.pushSuccessToast":"Modificările au fost trimise","localConversationPage.viewPullRequestButtonLabel":"Vizualizează PR","localConversationPage.viewPullRequestButtonLabel.loading":"Se încarcă pull requestul...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fișier} few {# fișiere} other {# de fișiere}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# listă} few {# liste} other {# de liste}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# căutare} few {# căutări} other {# de căutări}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Se explorează","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Explorat(e)","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} explorat(e)","localConversationTurnStory.showContent":"Afișează conținutul","localConversationTurnStory.streamContent":"Redă în flux conținutul","localConversationTurnStory.toggleReasoning":"Afișează raționamentul","localTaskRow.archiveError":"Conversația nu a putut fi arhivată","localTaskRow.resumeError":"Sarcina nu a putut fi reluată","mermaidDiagram.ariaLabel":"Diagramă Mermaid","mermaidDiagram.copySource":"Copiază diagramă Mermaid","mermaidDiagram.originalCode":"Cod sursă Mermaid","notifications.permissions.description":"Afișează alerte când sunt necesare permisiuni pentru notificări","notifications.permissions.label":"Activează notificările de permisiune","notifications.turnMode.always":"Întotdeauna","notifications.turnMode.description":"Setează momentul în care Codex să te avertizeze că a finalizat","notifications.turnMode.label":"Notificări de finalizare a fazei","notifications.turnMode.off":"Niciodată","notifications.turnMode.unfocused":"Numai când aplicația nu este focalizată","patchApprovalRequest.approve":"Aprobă","patchApprovalRequest.menu.allowAlways":"Da și nu mai întreba în această sesiune","patchApprovalRequest.menu.allowForSession":"Da și nu mai întreba în această sesiune","patchApprovalRequest.menu.allowOnce":"Da","patchApprovalRequest.prompt":"Dorești să faci aceste modificări?","patchApprovalRequest.reject":"Nu","patchApprovalRequest.waitingForApproval":"Se așteaptă aprobarea pentru editarea fișierelor","pendingRequest.approvalExec.collapse":"Restrânge","pendingRequest.approvalExec.expand":"Extinde","pendingRequestStory.toastAnswer":"Răspuns: {answer}","pendingRequestStory.toastApprovalTitle":"Răspuns de aprobare","pendingRequestStory.toastFollowupPrompt":"Solicitare: {prompt}","pendingRequestStory.toastFollowupTitle":"Urmărire trimisă","pendingRequestStory.toastNoAnswers":"Nu au fost furnizate răspunsuri","pendingRequestStory.toastQuestion":"Întrebare: {question}","pendingRequestStory.toastUnknownDecision":"Necunoscut","pendingRequestStory.toastUserInputTitle":"Răspunsuri trimise","quickAction.request.codeReview.branches.new":"Revizuiește modificările din {from} comparativ cu {to}","quickAction.request.codeReview.uncommitted.new":"Revizuiește modificările mele nevalidate","reasoningItem.thinking":"Se gândește","reasoningItem.thought":"S-a gândit","reasoningItem.thoughtWithElapsed":"S-a gândit timp de {elapsed}","recentConversations.title":"Conversații recente","recentTasks.worktreeInitFailedTitle":"Inițializarea arborelui de lucru a eșuat","recentTasks.worktreeSettingUpTitle":"Se configurează arborele de lucru","requestInputPanel.continue":"Continuă","requestInputPanel.dismiss":"Ignoră","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Tastează aici","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nu și spune-i agentului Codex ce să facă diferit","requestInputPanel.selectedBadge":"Selectat","requestInputPanel.skip":"Omite","requestInputPanel.submit":"Trimite","review.commit.ariaLabel.includeUnstaged":"Include modificări neetapizate","review.commit.buttonLabel":"Comite","review.commit.disabled.committing":"Validare în curs…","review.commit.disabled.loadingDiff":"Se încarcă diferențele…","review.commit.disabled.missingContext":"Adaugă puțin context pentru a genera un mesaj de validare","review.commit.disabled.noChanges":"Nicio modificare de validat","review.commit.disabled.noSelection":"Selectează modificările care trebuie validate","review.commit.disabled.unavailable":"Validarea nu este disponibilă în acest moment","review.commit.error":"Nu s-a reușit validarea modificărilor","review.commit.form.changesToBeCommitted":"Modificări","review.commit.form.commitTo":"Ramificație","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Continuă","review.commit.form.title":"Validează-ți modificările","review.commit.generate.emptyResponse":"Nu am putut genera un mesaj de validare.","review.commit.generate.failed":"Generarea unui mesaj de validare a eșuat: {error}","review.commit.generate.missingPrompt":"Adaugă puțin context pentru a genera un mesaj de validare.","review.commit.includeUnstaged":"Include modificări neetapizate","review.commit.loading.description":"Ține-te bine! Acțiunea poate dura câteva momente…","review.commit.loading.step.commit.done":"Modificări validate","review.commit.loading.step.commit.pending":"Se validează modificările","review.commit.loading.step.createPr.done":"Pull requestul a fost creat","review.commit.loading.step.createPr.pending":"Se creează pull requestul","review.commit.loading.step.push.done":"Trimis în ramificația {branch}","review.commit.loading.step.push.pending":"Se trimite în ramificația {branch}","review.commit.loading.title.commit":"Se validează modificările","review.commit.loading.title.createPr":"Se creează PR","review.commit.loading.title.push":"Se trimit modificările","review.commit.messageLabel":"Mesaj de comitere","review.commit.messagePlaceholder":"Lasă câmpul necompletat pentru a genera automat un mesaj de validare","review.commit.nextSteps":"Pașii următori","review.commit.nextSteps.commit":"Validează","review.commit.nextSteps.commitAndCreate":"Validează și creează PR","review.commit.nextSteps.commitAndPush":"Validează și trimite","review.commit.nextSteps.prRequiresGh":"Este necesară interfața GitHub CLI: {command}","review.commit.rows.changes":"Modificări","review.commit.rows.commitCount":"{count, plural, one {# comitere} few {# comiteri} other {# de comiteri}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# comitere} few {# comiteri} other {# de comiteri}} și {stats}","review.commit.rows.fileCount":"{count, plural, one {# fișier} few {# (de) fișiere} other {# (de) fișiere}}","review.commit.state.error.body":"Ceva nu a funcționat corect în timpul validării. Verifică starea git și încearcă din nou.","review.commit.state.error.title":"Validarea a eșuat","review.commit.state.success.title":"Modificări validate","review.commit.untracked.loadingStats":"Se încarcă statisticile referitoare la diferențele nemonitorizate…","reviewFindingAttachments.count":"{count, plural, one {# rezultat} few {# rezultate} other {# de rezultate}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Editează configurația pentru a personaliza comportamentul agentului","settings.agent.configuration.configToml.docs":"Documente","settings.agent.configuration.configToml.restartNote":"Pentru a aplica modificările, repornește Codex după editare","settings.agent.configuration.subtitle":"Aceste setări se aplică oriunde este utilizat Codex","settings.automations.banner.danger":"Automatizările rulează cu setările implicite ale mediului tău de testare, care sunt setate momentan la Acces complet. Rularea automatizărilor în fundal cu Acces complet prezintă un risc ridicat, deoarece Codex poate modifica fișiere, rula comenzi și accesa rețeaua fără a cere permisiune. Ia în considerare actualizarea setărilor mediului de testare la scriere în cadrul spațiului de lucru, precum și folosirea <rulesDocsLink>regulilor</rulesDocsLink> pentru a defini selectiv acele comenzi pe care agentul le poate rula cu acces complet.","settings.automations.banner.defaultHowTo.default":"Automatizările rulează cu setările implicite ale mediului tău de testare. Apelările instrumentelor vor eșua dacă necesită modificarea fișierelor din afara spațiului de lucru, accesarea rețelei sau utilizarea aplicațiilor de pe computerul tău. Poți permite selectiv rularea comenzilor în afara mediului de testare utilizând <rulesDocsLink>reguli</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizările rulează cu setările implicite ale mediului tău de testare, care sunt setate doar în citire. Apelările instrumentelor vor eșua dacă necesită modificarea fișierelor, accesarea rețelei sau utilizarea aplicațiilor de pe computerul tău. Ia în considerare actualizarea setărilor mediului de testare la scriere în cadrul spațiului de lucru.","settings.automations.cancel":"Anulează","settings.automations.create":"Creează","settings.automations.cwdEmpty":"Nu există foldere de proiect disponibile","settings.automations.cwdLabel":"Proiecte","settings.automations.cwdPlaceholder":"Alege un folder","settings.automations.cwdSubtitle":"Dacă dorești ca o automatizare să ruleze pe o anumită ramificație, poți specifica acest lucru în solicitare.","settings.automations.delete":"Șterge","settings.automations.dialog.editTitle":"Editează automatizarea","settings.automations.dialog.newTitle":"Automatizare nouă","settings.automations.dialog.subtitle":"Automatizează sarcinile recurente în fundal. Codex adaugă rezultatele în inbox sau arhivează automat sarcina dacă nu există nimic de raportat. <learnMoreLink>Află mai multe</learnMoreLink>","settings.automations.dialog.title":"Creează automatizarea","settings.automations.executionCopy.git":"Automatizările rulează în fundal în arbori de lucru dedicați.","settings.automations.executionCopy.nonGit":"Automatizările din proiectele fără control al versiunii rulează direct în directorul proiectului. Ia în considerare utilizarea Git pentru a permite arborilor de lucru să ruleze în fundal.","settings.automations.executionEnvironment.local":"Local","settings.automations.executionEnvironment.worktree":"Arbore de lucru","settings.automations.loading":"Se încarcă…","settings.automations.nameLabel":"Nume","settings.automations.namePlaceholder":"Verifică dacă există probleme în Sentry","settings.automations.pause":"Pauză","settings.automations.promptLabel":"Solicitare","settings.automations.promptPlaceholder":"caută erori fatale în $Sentry","settings.automations.resume":"Reia","settings.automations.rruleSummaryFallback":"Program personalizat","settings.automations.runNow":"Testează","settings.automations.save":"Salvează","settings.automations.scheduleBadge.dayCount":"{count} (de) zi(le)","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Zile lucrătoare","settings.automations.scheduleBadge.weekends":"Weekenduri","settings.automations.scheduleHeader":"Program","settings.automations.scheduleHours":"(de) ore","settings.automations.scheduleLabel":"Rulează la fiecare","settings.automations.scheduleMode.daily":"Zilnic","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Tip de program","settings.automations.scheduleSummary.daily":"Zilnic la ora {time}","settings.automations.scheduleSummary.interval":"La fiecare {count} (de) ore","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# zi} few {# zile} other {# zile}}","settings.automations.scheduleSummary.intervalDays":"{interval}, în zilele de {days}","settings.automations.scheduleSummary.intervalHourly":"În fiecare oră","settings.automations.scheduleSummary.singleDay":"{day} la ora {time}","settings.automations.scheduleSummary.weekdays":"În zilele lucrătoare la ora {time}","settings.automations.scheduleSummary.weekdaysLabel":"zile lucrătoare","settings.automations.scheduleSummary.weekends":"În weekenduri la ora {time}","settings.automations.scheduleSummary.weekendsLabel":"weekenduri","settings.automations.scheduleSummary.weekly":"{days} la ora {time}","settings.automations.scheduleWeekdays":"Activată","settings.automations.weekdayState.excluded":"Exclusă","settings.automations.weekdayState.included":"Inclusă","settings.conversationDetail.steps":"Pași","settings.conversationDetail.steps.description":"Ascunde comenzile și rezultatele","settings.conversationDetail.stepsWithCommands":"Pași care implică realizarea de comenzi prin codare","settings.conversationDetail.stepsWithCommands.description":"Afișează comenzile, restrânge rezultatul","settings.conversationDetail.stepsWithOutput":"Pași care implică rezultate obținute prin codare","settings.conversationDetail.stepsWithOutput.description":"Afișează comenzile și extinde rezultatul","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nicio discuție arhivată.","settings.dataControls.archivedChats.error":"Nu am putut încărca discuțiile arhivate.","settings.dataControls.archivedChats.loading":"Se încarcă discuțiile arhivate...","settings.dataControls.archivedChats.unarchive":"Dezarhivează","settings.dataControls.archivedChats.unarchiveError":"Nu am putut dezarhiva discuția","settings.dataControls.archivedChats.unarchiveSuccess":"Fir nearhivat. <viewNowLink>Vizualizează acum</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Fir nearhivat.","settings.dataControls.archivedChats.untitled":"Discuție fără titlu","settings.dataControls.archivedChats.viewNow":"Vizualizează acum","settings.editRow.headerPlaceholder":"Cheie","settings.editRow.removeEntry":"Elimină intrarea","settings.editRow.valuePlaceholder":"Valoare","settings.general.appearance":"Aspect","settings.general.appearance.codeFont":"Font cod","settings.general.appearance.codeFont.description":"Modifică tipul și dimensiunea fontului folosit pentru codare, în discuții și diferențe","settings.general.appearance.codeFontFamily":"Familie de fonturi pentru codare","settings.general.appearance.codeFontSize":"Mărimea fontului codului","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Creează ferestre cu fundal opac, nu transparente","settings.general.appearance.opaqueWindows.label":"Folosește un fundal opac pentru ferestre","settings.general.appearance.sansFontFamily":"Familie de fonturi Sans","settings.general.appearance.sansFontFamily.description":"Modifică fontul utilizat pentru interfața Codex cu utilizatorul","settings.general.appearance.sansFontSize":"Mărimea fontului Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Afișează efecte de celebrare în modul ecran complet în timp ce GPT-5.3-Codex-Spark rulează prima tură","settings.general.appearance.sparkCelebrationEffects.label":"Efecte de celebrare Spark","settings.general.appearance.theme":"Temă","settings.general.appearance.theme.dark":"Întunecat","settings.general.appearance.theme.description":"Folosește temă deschisă, temă închisă, sau potrivește cu setările sistemului tău","settings.general.appearance.theme.light":"Luminos","settings.general.appearance.theme.system":"Sistem","settings.general.appearance.usePointerCursors.description":"Schimbă cursorul într-o săgeată atunci când treci cu mouse-ul pe deasupra elementelor interactive","settings.general.appearance.usePointerCursors.label":"Folosește cursoare cu săgeată","settings.general.enterBehavior.description":"Când este activată opțiunea, trebuie să apeși {modifierSymbol} + Enter pentru a trimite solicitările care se extind pe mai multe linii.","settings.general.enterBehavior.label":"Trebuie să apeși {modifierSymbol} + Enter pentru a trimite solicitări lungi","settings.general.experimentalFeatures":"Caracteristici experimentale (Beta)","settings.general.experimentalFeatures.empty":"Nu există caracteristici experimentale beta.","settings.general.experimentalFeatures.loading":"Se încarcă caracteristicile experimentale...","settings.general.experimentalFeatures.restartNote":"Repornește Codex pentru a aplica modificările caracteristicilor experimentale","settings.general.experimentalFeatures.toggle":"Comută {featureName}","settings.general.followUpQueueMode.description":"Plasează în coadă urmăririle în timp ce Codex rulează sau ghidează rularea curentă. Apasă pe {invertFollowUpShortcutLabel} pentru a face contrariul în cazul unui mesaj.","settings.general.followUpQueueMode.interrupt":"Ghidează","settings.general.followUpQueueMode.label":"Comportament de urmărire","settings.general.followUpQueueMode.queue":"Coadă","settings.general.notifications":"Notificări","settings.general.power.preventSleepWhileRunning.description":"Nu pune computerul în stare de repaus cât timp Codex rulează un fir.","settings.general.power.preventSleepWhileRunning.label":"Evită să pui computerul în stare de repaus în timpul rulării","settings.git.branchPrefix.ariaLabel":"Prefixul ramificației","settings.git.branchPrefix.description":"Prefix folosit la crearea ramificațiilor noi în Codex","settings.git.branchPrefix.label":"Prefixul ramificației","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Prefixul ramificației nu a putut fi salvat","settings.git.branchPrefix.save.success":"Prefixul ramificației a fost salvat","settings.git.commitInstructions.ariaLabel":"Instrucțiuni de validare","settings.git.commitInstructions.description":"Adăugate la solicitările generate pentru mesajul de validare","settings.git.commitInstructions.label":"Instrucțiuni de validare","settings.git.commitInstructions.placeholder":"Adaugă îndrumări referitoare la mesajul de validare...","settings.git.commitInstructions.save":"Salvează","settings.git.commitInstructions.save.error":"Salvarea instrucțiunilor de validare a eșuat","settings.git.commitInstructions.save.success":"Instrucțiunile de validare au fost salvate","settings.git.forcePush.ariaLabel":"Trimite întotdeauna forțat","settings.git.forcePush.description":"Folosește opțiunea --force-with-lease atunci când trimiți din Codex","settings.git.forcePush.label":"Trimite întotdeauna forțat","settings.git.forcePush.save.disabled":"Trimiterea forțată implicită a fost dezactivată","settings.git.forcePush.save.enabled":"Trimiterea forțată implicită a fost activată","settings.git.forcePush.save.error":"Setarea privind trimiterea forțată nu a putut fi salvată","settings.git.prInstructions.ariaLabel":"Instrucțiuni pentru pull request","settings.git.prInstructions.description":"Anexate la corpurile pull requestului creat de Codex","settings.git.prInstructions.label":"Instrucțiuni pentru pull request","settings.git.prInstructions.placeholder":"Adaugă îndrumări referitoare la pull request...","settings.git.prInstructions.save":"Salvează","settings.git.prInstructions.save.error":"Nu am reușit salvarea instrucțiunilor pentru pull request","settings.git.prInstructions.save.success":"Instrucțiunile pentru pull request au fost salvate","settings.ide.defaultOpenTarget.description":"Unde se deschid fișierele și folderele în mod implicit","settings.ide.defaultOpenTarget.label":"Destinație implicită de deschidere","settings.ide.defaultOpenTarget.placeholder":"Nu s-a găsit nicio țintă","settings.ide.language.auto":"Detectare automată","settings.ide.language.autoOption":"Detectare automată","settings.ide.language.description":"Limba pentru interfața aplicației cu utilizatorul","settings.ide.language.label":"Limbă","settings.ide.language.search":"Căutare limbi","settings.layout.actionButton":"Repornește extensia","settings.layout.actionTitle":"Setări cu acțiune","settings.layout.fullWidthTitle":"Setări (lățime completă)","settings.layout.title":"Setări","settings.localEnvironments.actions.add":"Adaugă o acțiune","settings.localEnvironments.actions.add.description":"Creează o comandă nouă care să fie rulată din bara de instrumente.","settings.localEnvironments.actions.add.save":"Salvează","settings.localEnvironments.actions.empty":"Adaugă o acțiune pentru a executa comenzi din bara de instrumente locală.","settings.localEnvironments.actions.icon.debug":"Remediază erori","settings.localEnvironments.actions.icon.run":"Rulează","settings.localEnvironments.actions.icon.test":"Testează","settings.localEnvironments.actions.icon.tool":"Instrument","settings.localEnvironments.actions.item.button.delete":"Șterge","settings.localEnvironments.actions.item.command":"Script acțiune","settings.localEnvironments.actions.item.name":"Nume","settings.localEnvironments.actions.item.platforms":"Platforme","settings.localEnvironments.actions.item.platforms.help":"Rulează numai pe un anumit sistem de operare.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Selectare platformă","settings.localEnvironments.actions.item.platforms.specific":"Specifică platformei","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Șterge","settings.localEnvironments.actions.title":"Acțiuni","settings.localEnvironments.breadcrumb.back":"Înapoi","settings.localEnvironments.breadcrumb.edit":"editează","settings.localEnvironments.breadcrumb.root":"Medii","settings.localEnvironments.environment.actions.description":"Prin aceste acțiuni poți executa orice comandă. Acțiunile vor fi afișate în antet.","settings.localEnvironments.environment.actionsLabel":"Acțiuni","settings.localEnvironments.environment.create":"Creează un mediu local","settings.localEnvironments.environment.defaultName":"local","settings.localEnvironments.environment.edit":"Editează mediul local","settings.localEnvironments.environment.empty":"Nu ai configurat încă niciun mediu local pentru acest proiect.","settings.localEnvironments.environment.name":"Nume","settings.localEnvironments.environment.setup":"Script de configurare","settings.localEnvironments.environment.setup.description":"Acest script va rula în momentul creării arborelui de lucru.","settings.localEnvironments.environment.setup.hint":"Rulează în rădăcina proiectului.","settings.localEnvironments.environment.setup.platformOverrides":"Suprascrieri pe platformă","settings.localEnvironments.environment.setup.platformOverrides.add":"Adaugă un script de configurare {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Suprascrie scriptul implicit pentru anumite sisteme de operare.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Elimină","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Detalii referitoare la mediu","settings.localEnvironments.file.missing":"Salvează pentru a crea prima versiune a acestui fișier.","settings.localEnvironments.file.parseError":"Fișierul existent nu poate fi analizat. Dacă salvezi, fișierul va fi suprascris. ({error})","settings.localEnvironments.file.path":"Fișier: {path}","settings.localEnvironments.file.readError":"Datele referitoare la mediul local nu au putut fi încărcate. ({error})","settings.localEnvironments.file.title":"Fișier mediu local","settings.localEnvironments.loading.body":"Se preia configurația proiectului tău.","settings.localEnvironments.loading.title":"Se încarcă mediile locale","settings.localEnvironments.preview.devOnly":"(Numai pentru DEZV.)","settings.localEnvironments.preview.save":"Salvează","settings.localEnvironments.preview.saveError":"Fișierul nu a putut fi salvat. ({error})","settings.localEnvironments.preview.title":"Previzualizare","settings.localEnvironments.save.disabled.name":"Pentru a salva, adaugă un nume de mediu.","settings.localEnvironments.save.disabled.noChanges":"Nicio modificare de salvat.","settings.localEnvironments.save.disabled.saving":"Se salvează…","settings.localEnvironments.save.success":"Mediu local salvat","settings.localEnvironments.unavailable.body":"Nu am putut încărca setările mediului local pentru acest proiect.","settings.localEnvironments.unavailable.title":"Mediile locale sunt indisponibile","settings.localEnvironments.workspace.add":"Adaugă proiect","settings.localEnvironments.workspace.title":"Proiect","settings.localEnvironments.workspaceSelect.addLabel":"Adaugă mediu","settings.localEnvironments.workspaceSelect.description":"Mediile locale îi indică agentului Codex cum să configureze arborii de lucru pentru un proiect. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Încă nu există niciun proiect. Adaugă unul pentru a configura mediile locale.","settings.localEnvironments.workspaceSelect.errorLabel":"Mediul necesită atenție","settings.localEnvironments.workspaceSelect.learnMore":"Află mai multe","settings.localEnvironments.workspaceSelect.listLabel":"Proiecte disponibile","settings.localEnvironments.workspaceSelect.loading":"Se încarcă proiectele.","settings.localEnvironments.workspaceSelect.loadingLabel":"Se încarcă mediul","settings.localEnvironments.workspaceSelect.title":"Selectează un proiect","settings.localEnvironments.workspaceSelect.viewAction":"Vizualizează","settings.mcp.addServer":"Adaugă server","settings.mcp.app.configure":"Configurează","settings.mcp.app.connect":"Conectează","settings.mcp.apps.refresh":"Reîmprospătează","settings.mcp.detail.addArgument":"Adaugă argument","settings.mcp.detail.addEnvVar":"Adaugă variabilă de mediu","settings.mcp.detail.addEnvVarPassthrough":"Adaugă variabilă","settings.mcp.detail.args":"Argumente","settings.mcp.detail.back":"Înapoi","settings.mcp.detail.command":"Comandă de lansare","settings.mcp.detail.cwd":"Director de lucru","settings.mcp.detail.docs":"Deschide documentația MCP","settings.mcp.detail.docs.link":"Documente","settings.mcp.detail.envVarPassthrough":"Variabile de mediu de care se ține cont la livrare","settings.mcp.detail.envVars":"Variabile de mediu","settings.mcp.detail.http.addEnvHeader":"Adaugă variabilă","settings.mcp.detail.http.addHeader":"Adaugă antet","settings.mcp.detail.http.bearerToken":"Variabilă de mediu token la purtător","settings.mcp.detail.http.envHeaders":"Anteturi din variabile de mediu","settings.mcp.detail.http.headers":"Anteturi","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Nume","settings.mcp.detail.save":"Salvează","settings.mcp.detail.switchTransportNotice":"Dacă dorești să schimbi tipul de server MCP, mai întâi dezinstalează-l.","settings.mcp.detail.titleExisting":"Actualizează serverul MCP {name}","settings.mcp.detail.titleNew":"Conectează-te la un server MCP personalizat","settings.mcp.detail.transport.http":"HTTP pentru transmitere în flux","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Dezinstalează","settings.mcp.empty":"Nu există servere MCP personalizate conectate","settings.mcp.myServers":"Servere personalizare","settings.mcp.partnerServer.description.figma":"Generează cod îmbunătățit prin introducerea contextului complet Figma","settings.mcp.partnerServer.description.github":"Integrează API-urile GitHub pentru automatizarea fluxurilor de lucru și extragerea datelor","settings.mcp.partnerServer.description.linear":"Integrează soluțiile Linear de urmărire a problemelor și gestionare a proiectelor","settings.mcp.partnerServer.description.notion":"Citește documente, actualizează pagini, gestionează sarcini","settings.mcp.partnerServer.description.playwright":"Integrează automatizarea browserului pentru a implementa designul și a testa interfața cu utilizatorul.","settings.mcp.partnerServer.install":"Instalează","settings.mcp.partnerServer.installAndAuthenticate":"Instalează și autentifică","settings.mcp.partnerServer.logoAlt":"Sigla {label}","settings.mcp.partnerServer.manage":"Gestionează","settings.mcp.partnerServer.vendor":"de către {vendor}","settings.mcp.recommendedServers":"Recomandări de servere","settings.mcp.restartApp":"Repornește","settings.mcp.restartExtension":"Repornește extensia","settings.mcp.server.enable":"Activează","settings.mcp.server.login":"Autentifică-te","settings.mcp.server.settings":"Setări","settings.multiselect.createOption":"Creează „{value}”","settings.multiselect.removeOption":"Elimină","settings.nav.account":"Cont","settings.nav.agent":"Configurație","settings.nav.ariaLabel":"Setări","settings.nav.back":"Înapoi la aplicație","settings.nav.data-controls":"Fire arhivate","settings.nav.environments":"Medii cloud","settings.nav.externalTooltip":"[alpha] Se deschide în browser","settings.nav.general-settings":"General","settings.nav.git-settings":"Git","settings.nav.local-environments":"Medii","settings.nav.mcp-settings":"Servere MCP","settings.nav.notImplemented":"[alpha] Nu este disponibil în Alpha","settings.nav.personalization":"Personalizare","settings.nav.skills-settings":"Abilități","settings.nav.usage-analytics":"Utilizare și analize","settings.nav.worktrees":"Arbori de lucru","settings.openSourceLicenses.back":"Înapoi","settings.openSourceLicenses.loading":"Se încarcă…","settings.openSourceLicenses.missing":"Nu au fost găsite notificări de la terți.","settings.openSourceLicenses.notSupported":"Indisponibile în această fereastră.","settings.openSourceLicenses.rowDescription":"Notificări de la terți privind dependențele grupate","settings.openSourceLicenses.rowLabel":"Licențe open source","settings.openSourceLicenses.subtitle":"Notificări de la terți privind dependențele incluse în această aplicație","settings.openSourceLicenses.title":"Licențe open source","settings.openSourceLicenses.view":"Vizualizează","settings.personalization.agents.description":"Editează instrucțiunile care adaptează agentul Codex la nevoile tale. {learnMore}","settings.personalization.agents.learnMore":"Află mai multe","settings.personalization.agents.loadError":"Fișierul agents.md nu poate fi încărcat.","settings.personalization.agents.loading":"Se încarcă fișierul agents.md…","settings.personalization.agents.placeholder":"Adaugă instrucțiuni personalizate proprii…","settings.personalization.agents.retry":"Reîncearcă","settings.personalization.agents.save":"Salvează","settings.personalization.agents.save.error":"Fișierul agents.md nu poate fi salvat","settings.personalization.agents.save.success":"Fișierul agents.md a fost salvat","settings.personalization.agents.title":"Instrucțiuni personalizate","settings.personalization.personality.description":"Alege un ton implicit pentru răspunsurile Codex","settings.personalization.personality.label":"Personalitate","settings.sample.contentBody":"Utilizează acest aspect pentru a-ți compune panourile de setări cu spațiere consecventă.","settings.sample.contentTitle":"Model de bloc de conținut","settings.section.account":"Cont","settings.section.agent":"Configurație","settings.section.data-controls":"Fire arhivate","settings.section.environments":"Medii cloud","settings.section.external":"Se deschide în browser în versiunea Alfa","settings.section.general-settings":"General","settings.section.git-settings":"Git","settings.section.local-environments":"Medii","settings.section.mcp-settings":"Servere MCP","settings.section.mcp-settings.docs":"Documente","settings.section.mcp-settings.subtitle":"Conectează instrumente și surse de date externe.","settings.section.personalization":"Personalizare","settings.section.skills-settings":"Abilități","settings.section.unavailable":"Secțiunea nu este încă disponibilă în versiunea Alfa","settings.section.usage-analytics":"Utilizare și analize","settings.section.worktrees":"Arbori de lucru","settings.threadDetail.description":"Alege volumul de rezultat al comenzii afișat în fire","settings.threadDetail.label":"Detaliu fir","settings.worktrees.conversation.untitled":"Conversație fără titlu","settings.worktrees.delete.error":"Arborele de lucru nu a putut fi șters","settings.worktrees.empty.body":"Arborii de lucru creați de Codex vor apărea aici.","settings.worktrees.empty.title":"Nu există încă niciun arbore de lucru","settings.worktrees.error.body":"Ceva nu a funcționat corect la încărcarea arborilor de lucru.","settings.worktrees.error.retry":"Reîncearcă","settings.worktrees.error.title":"Arborii de lucru nu pot fi încărcați","settings.worktrees.loading.body":"Se preiau detaliile arborilor de lucru.","settings.worktrees.loading.title":"Se încarcă arborii de lucru","settings.worktrees.repository.loading":"Se încarcă metadatele depozitului…","settings.worktrees.repository.unknown":"Depozit necunoscut","settings.worktrees.row.conversations":"Conversații","settings.worktrees.row.conversations.empty":"Nicio conversație nu e asociată acestui arbore de lucru.","settings.worktrees.row.conversations.loading":"Se încarcă conversațiile…","settings.worktrees.row.delete":"Șterge","settings.worktrees.row.title":"Arbore de lucru","sidebarElectron.addWorkspaceRoot":"Adaugă un proiect nou","sidebarElectron.archiveThread":"Arhivează firul de mesaje","sidebarElectron.archiveThreadError":"Firul de mesaje nu a putut fi arhivat","sidebarElectron.collapseFolder":"Restrânge folderul","sidebarElectron.createStableWorktree.dialog.cancel":"Anulează","sidebarElectron.createStableWorktree.dialog.create":"Creează","sidebarElectron.debugNavLink":"Remediază erori","sidebarElectron.editWorkspaceRootOptionName":"Editează nume","sidebarElectron.expandFolder":"Extinde folderul","sidebarElectron.groupByMenu.recency":"Listă cronologică","sidebarElectron.groupByMenu.title":"Organizează","sidebarElectron.groupByMenu.workspace":"În funcție de proiect","sidebarElectron.inboxRouteNavLink":"Automatizări","sidebarElectron.markThreadUnread":"Marchează ca necitit","sidebarElectron.missingWorkspaceRoot":"Folderul acestui proiect a fost șters sau mutat","sidebarElectron.newThread":"Fir nou","sidebarElectron.newThreadInGroup":"Pornește un fir nou în {folder}","sidebarElectron.noRecentThreads":"Nu există fire recente","sidebarElectron.noTasks":"Niciun fir","sidebarElectron.noTasks.start":"Adaugă un proiect nou","sidebarElectron.noTasksWithFilter":"Niciun fir nu corespunde filtrelor","sidebarElectron.pinnedThreads":"Fire fixate","sidebarElectron.recentNavLink":"Fire","sidebarElectron.recentThreads":"Fire recente","sidebarElectron.removeWorkspaceRootOption":"Elimină","sidebarElectron.renameThread":"Redenumește firul","sidebarElectron.renameThreadDialogAriaLabel":"Titlu fir","sidebarElectron.renameThreadDialogCancel":"Anulează","sidebarElectron.renameThreadDialogPlaceholder":"Adaugă un titlu…","sidebarElectron.renameThreadDialogSave":"Salvează","sidebarElectron.renameThreadDialogSubtitle":"Păstrează-l scurt și ușor de recunoscut.","sidebarElectron.renameThreadDialogTitle":"Redenumește firul","sidebarElectron.renameThreadError":"Firul nu a putut fi redenumit","sidebarElectron.renameWorkspaceRootOptionLabel":"Nume afișat","sidebarElectron.showLess":"Arată mai puține","sidebarElectron.showMenu.all":"Toate firele","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Afișează doar firele recente pentru ramificația curentă, arborii de lucru sau alte fire care au nevoie de atenția ta","sidebarElectron.showMenu.title":"Afișează","sidebarElectron.showMenu.tooltip":"Filtrează, sortează și organizează firele","sidebarElectron.showMenu.trigger":"Filtrează firele din bara laterală","sidebarElectron.showMore":"Arată mai multe","sidebarElectron.skillsRouteNavLink":"Abilități","sidebarElectron.sortMenu.created":"Creat","sidebarElectron.sortMenu.title":"Sortează după","sidebarElectron.sortMenu.updated":"Actualizat","sidebarElectron.taskNavigation":"Foldere automatizări","sidebarElectron.tasksInFolder":"Automatizări în {folder}","sidebarElectron.workspaceOptions":"Acțiuni în cadrul proiectului pentru {folder}","sidebarElectron.worktreeGroupTooltip":"Acesta este un arbore de lucru Git","skills.appsPage.createSkill":"Abilitate nouă","skills.appsPage.empty.skills":"Nu s-a găsit nicio abilitate","skills.appsPage.search.skills":"Caută abilități","skills.appsPage.search.skills.label":"Caută abilități","skills.appsPage.section.installedApps":"Instalate","skills.appsPage.section.skills":"Abilități","skills.appsPage.subheading":"Oferă-i agentului Codex superputeri.<link>Află mai multe</link>","skills.appsPage.tab.recommended":"Recomandat","skills.appsPage.tab.skills":"Abilități","skills.card.contentsError":"Conținutul abilității nu poate fi încărcat.","skills.card.disable":"Dezactivează","skills.card.disableSuccess":"Abilitatea {skillName} a fost dezactivată","skills.card.disabledBadge":"Dezactivat","skills.card.enable":"Activează","skills.card.enableSuccess":"Abilitatea {skillName} a fost activată","skills.card.loadingContents":"Conținutul abilității se încarcă…","skills.card.more":"Mai multe acțiuni","skills.card.open":"Deschide","skills.card.removeFailed":"Nu am reușit dezinstalarea abilității","skills.card.removeSuccess":"Abilitatea {skillName} a fost dezinstalată","skills.card.toggleEnabledError":"Actualizarea abilității nu a reușit","skills.card.try":"Încearcă","skills.card.trySkill":"Încearcă abilitatea","skills.card.uninstall":"Dezinstalează","skills.hero.dotLabel":"Mergi la diapozitivul {index}","skills.hero.next":"Următoarea abilitate recomandată","skills.hero.trySkill":"Încearcă abilitatea","skills.page.createSkill":"Abilitate nouă","skills.page.empty":"Nu a fost găsită nicio abilitate","skills.page.filteredEmpty":"Nicio abilitate nu corespunde filtrelor tale","skills.page.filteredEmptyDescription":"Încearcă să modifici filtrele de căutare sau filtrele legate de domeniul de aplicare","skills.page.heading":"Abilități","skills.page.loading":"Se încarcă abilitățile…","skills.page.refreshSkills":"Reîmprospătează","skills.page.refreshSkillsToUseNew":"Reîmprospătează pentru a folosi noua abilitate (noile abilități)","skills.page.search":"Caută abilități","skills.page.search.label":"Caută abilități","skills.page.subheading":"Oferă-i agentului Codex superputeri.<link>Află mai multe</link>","skills.preview.copyPrompt":"Copiază solicitarea","skills.preview.examplePrompt":"Exemplu de solicitare","skills.recommended.error":"Abilitățile recomandate nu pot fi încărcate","skills.recommended.install":"Instalează","skills.recommended.installSkill":"Instalează abilitatea","skills.recommended.installSuccess":"Abilitatea {skillName} a fost instalată","skills.recommended.installed":"Instalate","skills.scope.admin":"Administrator","skills.scope.adminInstalled":"Instalate de administrator","skills.scope.builtIn":"Sistem","skills.scope.personal":"Personal","skills.scope.repo":"Depozit","skills.scope.system":"Sistem","skills.scope.team":"Team","skills.scope.user":"Utilizator","skills.section.installed":"Instalate","skills.section.recommended":"Recomandat","story.slidingToggle.existing":"Existentă","story.slidingToggle.fromLocal":"Din ramificația locală","story.slidingToggle.new":"Nou","story.slidingToggle.toLocal":"În ramificația locală","terminal.close":"Închide terminalul","terminal.title":"Terminal","thinkingShimmer.default":"Se gândește","threadEnvIcon.cloudTooltip":"Această conversație rulează în cloudul Codex.","threadEnvIcon.localTooltip":"Această conversație rulează local.","threadEnvIcon.worktreeTooltip":"Această conversație rulează într-un arbore de lucru git local.","threadHeader.archiveConfirmCancel":"Anulează","threadHeader.archiveConfirmConfirm":"Arhivează","threadHeader.archiveConfirmSubtitle":"Îl poți găsi mai târziu în firele tale arhivate.","threadHeader.archiveConfirmTitle":"Arhivezi firul?","threadHeader.copyAppLink":"Copiază linkul direct","threadHeader.copySessionId":"Copiază ID-ul sesiunii","threadHeader.copyWorkingDirectory":"Copiază directorul de lucru","threadHeader.forkIntoLocal":"Bifurcă local","threadHeader.forkIntoWorktree":"Bifurcă într-un arbore de lucru nou","threadHeader.forkPendingWorktreePrompt":"Creează o copie bifurcată a acestei conversații într-un arbore de lucru nou.","threadHeader.forkPendingWorktreeTitle":"Conversație bifurcată","threadHeader.forkThreadError":"Bifurcarea firului a eșuat","threadHeader.forkThreadRequiresGitRepo":"Pentru a bifurca într-un arbore de lucru nou ai nevoie de un depozit git","threadHeader.moreActions":"Acțiuni fir","threadPage.newThread":"Fir nou","threadPage.runAction.changeEnvironment":"Schimbă mediul","threadPage.runAction.dropdown.titleWithEnvironment":"Acțiuni {environmentName}","threadPage.runAction.environmentSelector.label":"Alege mediul","threadPage.runAction.label":"Rulează","threadPage.runAction.missing.label":"Configurează o acțiune de executat","threadPage.runAction.setup.commandLabel":"Comandă de executare","threadPage.runAction.setup.description":"Spune-i agentului Codex cum să instaleze dependențe și să-ți pornească aplicația.","threadPage.runAction.setup.editMore":"Setări mediu","threadPage.runAction.setup.placeholder":"De exemplu: npm install npm run","threadPage.runAction.setup.submit":"Salvează și rulează","threadPage.runAction.setup.title":"Execută","threadPage.runAction.tooltip.withEnvironment":"Acțiuni {environmentName}","threadPage.toggleDiffPanel":"Activează/dezactivează panoul de diferențe","threadPage.toggleTerminal":"Comută terminalul","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Deschide folder","toolSummaryForCmd.exploredFiles":"Fișiere <verb>listate</verb>","toolSummaryForCmd.exploredFilesInPath":"Fișiere <verb>listate</verb> în {path}","toolSummaryForCmd.exploringFiles":"<verb>Se listează</verb> fișierele","toolSummaryForCmd.exploringFilesInPath":"<verb>Se listează</verb> fișiere în {path}","toolSummaryForCmd.ranGenericCommand":"<status>Comandă rulată</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>S-a rulat</status> {command}{timer}","toolSummaryForCmd.read":"<verb>S-a citit</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Se rulează comanda</status>{timer}","toolSummaryForCmd.runningTimer":"pentru {elapsed}","toolSummaryForCmd.searchedFor":"<verb>S-a efectuat căutarea</verb> referitoare la {query}","toolSummaryForCmd.searchedForFiles":"<verb>S-au căutat</verb> fișiere","toolSummaryForCmd.searchedForInPath":"<verb>S-a căutat</verb> {query} în {path}","toolSummaryForCmd.searchingFor":"<verb>Se caută</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Se caută</verb> fișiere","toolSummaryForCmd.searchingForInPath":"<verb>Se caută</verb> {query} în {path}","traceRecording.details.noteLabel":"Ce făceai când a avut loc evenimentul? (opțional)","traceRecording.details.notePlaceholder":"Am navigat la un fir complex, apoi am schimbat filele în mod repetat...","traceRecording.details.submit":"Trimite urmărirea","traceRecording.details.subtitle":"Putem trimite această urmărire a profilului pentru a contribui la diagnosticarea problemelor legate de performanță.","traceRecording.details.title":"Trimiți urmărirea profilului?","traceRecording.progress.subtitle":"Păstrează Codex deschis până se finalizează operațiunea.","traceRecording.saving.title":"Se salvează urmărirea...","traceRecording.startDetails.cancel":"Anulează","traceRecording.startDetails.submit":"În regulă. Pornește înregistrarea","traceRecording.startDetails.subtitle":"După ce apeși pe OK, reprodu problema de performanță, apoi apasă pe indicatorul roșu flotant pentru a opri și a revizui urmărirea.","traceRecording.startDetails.title":"Cum funcționează înregistrarea urmăririlor","traceRecording.stopButton.ariaLabel":"Oprește înregistrarea urmăririlor","traceRecording.upload.successToast":"Urmărirea profilului a fost trimisă.","traceRecording.uploading.title":"Se încarcă urmărirea...","wham.diff.addComment":"Adaugă un comentariu","wham.diff.binaryFile":"Fișierul binar nu este afișat","wham.diff.noContent":"Niciun conținut","wham.fileTag.deleted":"Șters","wham.fileTag.new":"Nou","wham.formattedRelativeDateTime.compactDaysAgo":"{value} (de) zi(le)","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} lună(i)","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} săpt.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} an(i)","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Sarcina ta se află în lucru","wham.whamProposedTask.title":"Sarcină sugerată","wham.whamProposedTask.useSuggestion":"Utilizează o sugestie","workspaceRootDialog.addError":"Proiectul nu a putut fi adăugat","workspaceRootDialog.cancel":"Anulează","workspaceRootDialog.confirmAdd":"Adaugă proiect","workspaceRootDialog.confirmPick":"Utilizează proiect","workspaceRootDialog.description":"Introdu o cale pe {host} pentru a o utiliza ca proiect.","workspaceRootDialog.pathLabel":"Cale proiect","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Adaugă o cale de proiect","workspaceRootDialog.title.pick":"Alege o cale de proiect","worktreeInitV2.cancel":"Anulează","worktreeInitV2.notification.failedTitle":"Configurarea arborelui de lucru nu a reușit","worktreeInitV2.output.empty":"Se așteaptă ieșirea…","worktreeInitV2.status.error":"Configurarea arborelui de lucru nu a reușit.","worktreeInitV2.status.running":"Se creează arborele de lucru și se rulează configurarea.","worktreeInitV2.status.runningFork":"Se creează un arbore de lucru pentru a bifurca această conversație.","worktreeInitV2.status.success":"Arborele de lucru este gata.","worktreeInitV2.title":"Se creează arborele de lucru","worktreeInitV2.workLocallyInstead":"Lucrează local în schimb","worktreeRestoreBanner.body":"Arborele de lucru al acestui fir a fost eliminat pentru a economisi spațiu pe disc","worktreeRestoreBanner.missing.body":"Directorul de lucru al acestui fir nu mai există","worktreeRestoreBanner.missing.title":"Directorul de lucru actual lipsește","worktreeRestoreBanner.restore.error":"Restabilirea arborelui de lucru nu a reușit: {message}","worktreeRestoreBanner.restore.success":"Arbore de lucru restabilit","worktreeRestoreBanner.restoreCta":"Restabilește arborele de lucru","worktreeRestoreBanner.title":"Arbore de lucru curățat"};Object.assign(e,globalThis.codexI18nOverrides?.["ro-RO"]);export{e as default};
 //# sourceMappingURL=ro-RO-BKPc_imF.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Копировать","app.sidebar.hide":"Скрыть боковую панель","app.sidebar.show":"Показать боковую панель","app.sidebar.tooltip":"Переключить боковую панель","appHeader.installUpdate":"Обновить","appSunset.body":"Эта версия приложения больше не поддерживается. Загрузите последнюю версию <here>здесь</here>.","appSunset.title":"Требуется обновление","automation.updateDirective.create":"Создать","automation.updateDirective.open":"Открыть","automation.updateDirective.untitled":"Автоматизация без названия","automation.updateDirective.update":"Обновить","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# попытка} few {# попытки} many {# попыток} other {# попытки}}","cloudTaskRow.archiveError":"Не удалось заархивировать задачу","code.diff.requestChange":"Запросить изменение","code.diffComment.cancel":"Отменить","code.diffComment.comment":"Комментарий","code.diffComment.delete":"Удалить","code.diffComment.save":"Сохранить","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Никаких выводов не сообщалось.","codex.alert.closeAriaLabel":"Закрыть","codex.appUpsellBanner.cbpApi.message":"Создавайте проекты быстрее с помощью приложения Codex. Скачайте сейчас или {learnMoreLink}.","codex.appUpsellBanner.download":"Скачать","codex.appUpsellBanner.freeGo.message":"Приложение Codex включено в ваш тарифный план до 2 марта. Попробуйте приложение Codex, чтобы работать быстрее.","codex.appUpsellBanner.later":"Позже","codex.appUpsellBanner.learnMoreLowercase":"узнать больше","codex.appUpsellBanner.new":"Новый","codex.appUpsellBanner.proPlusBusiness.message":"Попробуйте приложение Codex с удвоенными лимитами использования до 2 апреля. Скачайте прямо сейчас или {learnMoreLink}.","codex.appUpsellBanner.title":"Приложение Codex","codex.applyDropdown.header.changes":"Изменения","codex.applyDropdown.header.fileCount":"{count, plural, one {# файл} few {# файла} many {# файлов} other {# файла}}","codex.applyDropdown.header.rows":"строки","codex.applyDropdown.header.title":"Применить изменения","codex.applyDropdown.header.workspace":"Проект","codex.applyDropdown.results.conflicted":"{count, plural, one {Обнаружен конфликт с одним файлом:} few {Обнаружен конфликт с {count} файлами:} many {Обнаружен конфликт с {count} файлами:} other {Обнаружен конфликт с {count} файлами:}}","codex.applyDropdown.results.empty":"Файлы не были скопированы","codex.applyDropdown.results.skipped":"{count, plural, one {1 файл пропущен:} few {{count} файла пропущено:} many {{count} файлов пропущено:} other {{count} файла пропущено:}}","codex.applyOrRevertBanner.apply":"Применить","codex.applyOrRevertBanner.applyMessage":"Применить изменения и продолжить локально?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Эта задача была сделана в {environment}, поэтому она может применяться некорректно.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Изменения, внесенные в {environment}, могут применяться некорректно.","codex.applyOrRevertBanner.reapply":"Повторно подать заявку","codex.applyOrRevertBanner.revert":"Отменить","codex.applyOrRevertBanner.revertMessage":"Отменить внесенные изменения?","codex.applyResultsDialog.applied":"Наносится корректно ({count})","codex.applyResultsDialog.close":"Закрыть","codex.applyResultsDialog.conflicted":"Конфликт ({count})","codex.applyResultsDialog.noDetails":"Сведения о файле отсутствуют.","codex.applyResultsDialog.skipped":"Пропущено ({count})","codex.applyResultsDialog.title":"Применить результаты","codex.archiveInfo":"Просматривайте архивированные чаты в {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Элементы управления данными","codex.archiveInfo.electron":"Просматривайте архивированные чаты в {settingsLink}","codex.archiveInfo.extension":"Просмотреть архивные чаты можно в папке .codex.","codex.archiveInfo.settingsLink":"Настройки","codex.banner.content.description":"Выполняйте задачи параллельно, отслеживайте прогресс где угодно и просматривайте запросы с помощью ИИ.","codex.banner.content.headline":"Codex делает все это.","codex.cloudTaskRow.archiveTask":"Заархивировать задачу","codex.cloudTaskRow.confirmArchiveTask":"Подтвердить","codex.command.feedback":"Отзыв","codex.command.findInThread":"Найти","codex.command.forceReloadSkills":"Принудительная перезагрузка навыков","codex.command.logOut":"Выйти","codex.command.manageTasks":"Управление задачами","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Назад","codex.command.navigateForward":"Следующий","codex.command.newThread":"Новая беседа","codex.command.nextThread":"Следующая беседа","codex.command.openFolder":"Открыть папку","codex.command.openSkills":"Перейти к навыкам","codex.command.openThreadOverlay":"Выдвинуть беседу","codex.command.personalitySettings":"Личность","codex.command.previousThread":"Предыдущая беседа","codex.command.settings":"Настройки","codex.command.toggleDiffPanel":"Переключить панель разницы","codex.command.toggleSidebar":"Переключить боковую панель","codex.command.toggleTerminal":"Переключить терминал","codex.commandGroup.app":"Приложение","codex.commandGroup.configure":"Конфигурация","codex.commandGroup.navigation":"Навигация","codex.commandGroup.panels":"Панели","codex.commandGroup.skills":"Навыки","codex.commandGroup.thread":"Беседа","codex.commandGroup.workspace":"Проект","codex.commandMenu.noResults":"Нет совпадений","codex.commandMenu.searchPlaceholder":"Команды поиска","codex.commandMenu.suggestedGroup":"Предложено","codex.commandMenu.switchWorkspace":"Переключить проект","codex.commandMenu.title":"Меню команд","codex.common.retry":"Повторить","codex.composer.searchBranches":"Поиск ветвей","codex.dialog.basic.body":"Это простой модальный диалог, использующий нашу оболочку Radix Dialog.","codex.dialog.basic.cancel":"Отменить","codex.dialog.basic.confirm":"Подтвердить","codex.dialog.basic.open":"Открыть диалог","codex.dialog.basic.title":"Образец диалог","codex.dialog.long.close":"Закрыть","codex.dialog.long.line":"Прокручиваемая строка {index} для демонстрации длинного содержимого внутри диалогового окна.","codex.dialog.long.open":"Открыть длинный диалог","codex.dialog.long.title":"Длинный диалог содержимого","codex.dialog.unstyled.body":"Эта история демонстрирует, как инициирующие вызов могут полностью контролировать оформление содержимого диалога.","codex.dialog.unstyled.open":"Открыть диалоговое окно без стилей","codex.dialog.unstyled.title":"Неоформленный контент","codex.diff.openInEditorPrompt.openButton":"Открыть в редакторе","codex.diff.openInEditorPrompt.singleLine":"Файл слишком велик для отображения здесь.","codex.diffView.failedToDecodeBase64Diff":"Не удалось декодировать дифференциал base64","codex.diffView.filesChanged":"{fileCount, plural, one {Изменен # файл} few {Изменено # файла} many {Изменено # файлов} other {Изменено # файла}}","codex.diffView.imagePreviewAlt":"Предварительный просмотр изображения","codex.diffView.imagePreviewEmpty":"Нет изображения","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Нет данных о дифференциале","codex.diffView.pdfPreview.nextPage":"Следующая страница","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Предыдущая страница","codex.diffView.pdfPreviewEmpty":"Нет предварительного просмотра PDF","codex.diffView.pdfPreviewError":"Не удалось отобразить предварительный просмотр PDF-файла","codex.diffView.richPreviewDisable":"Отключить расширенный предварительный просмотр","codex.diffView.richPreviewEnable":"Включить расширенный предварительный просмотр","codex.diffView.richPreviewLoading":"Загрузка предварительного просмотра…","codex.diffView.richPreviewToggle":"Переключить расширенный предварительный просмотр","codex.diffView.switchToUnified":"Переключиться на унифицированный дифференциал","codex.environmentSelector.noEnvironment":"Нет окружения","codex.environments.environmentSettings":"Настройки окружения","codex.environments.learnMore":"Узнать больше","codex.environments.listError":"Не удалось загрузить окружения.","codex.environments.noEnvironmentsFound":"Окружения не найдены","codex.environments.searchError":"Не удалось выполнить поиск окружений.","codex.errorBoundary.genericError":"Упс, произошла ошибка","codex.errorBoundary.goHome":"Попробовать еще раз","codex.file.patch.missing":"Не удалось создать патч для этого файла.","codex.gallery.automations.cwdLabel":"Проекты","codex.gallery.automations.nameLabel":"Имя","codex.gallery.automations.namePlaceholder":"Подведение итогов по задаче","codex.gallery.automations.promptLabel":"Подсказка","codex.gallery.automations.promptPlaceholder":"Опишите, что должен делать Codex","codex.gallery.dialogs.automation.label":"Диалоговое окно автоматизации","codex.gallery.dialogs.basic.body":"Используйте этот макет для простых подтверждений или коротких форм.","codex.gallery.dialogs.basic.cancel":"Отменить","codex.gallery.dialogs.basic.confirm":"Подтвердить","codex.gallery.dialogs.basic.label":"Базовый диалог","codex.gallery.dialogs.basic.title":"Образец диалога","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Опишите проблему","codex.gallery.dialogs.feedbackSubmission.bad":"Плохой результат","codex.gallery.dialogs.feedbackSubmission.bug":"Ошибка","codex.gallery.dialogs.feedbackSubmission.good":"Хороший результат","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Включить текущие журналы сеансов Codex","codex.gallery.dialogs.feedbackSubmission.label":"Отправка отзыва","codex.gallery.dialogs.feedbackSubmission.other":"Другое","codex.gallery.dialogs.feedbackSubmission.placeholder":"Опишите проблему здесь","codex.gallery.dialogs.feedbackSubmission.submit":"Отправить","codex.gallery.dialogs.feedbackSubmission.title":"Отзыв","codex.gallery.dialogs.feedbackSuccess.body":"Отзыв отправлен. Если проблема сохранится, создайте заявку на GitHub или укажите идентификатор темы в уже существующей открытой заявке:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Скрыть","codex.gallery.dialogs.feedbackSuccess.label":"Успешная обратная связь","codex.gallery.dialogs.feedbackSuccess.title":"Отзыв загружен","codex.gallery.dialogs.gitApplyResults.applied":"Наносится корректно (2)","codex.gallery.dialogs.gitApplyResults.close":"Закрыть","codex.gallery.dialogs.gitApplyResults.conflicted":"Произошел конфликт (1)","codex.gallery.dialogs.gitApplyResults.label":"Применить результаты","codex.gallery.dialogs.gitApplyResults.title":"Применить результаты","codex.gallery.dialogs.gitPushError.body":"Загрузите последние изменения или выполните принудительную отправку, если уверены, что удаленную историю можно безопасно перезаписать.","codex.gallery.dialogs.gitPushError.cancel":"Отменить","codex.gallery.dialogs.gitPushError.force":"Принудительная отправка","codex.gallery.dialogs.gitPushError.label":"Ошибка при отправке","codex.gallery.dialogs.gitPushError.subtitle":"Ваша ветка отстает от ветки origin/main.","codex.gallery.dialogs.gitPushError.title":"Не удалось отправить изменения","codex.gallery.dialogs.gitRevert.cancel":"Отменить","codex.gallery.dialogs.gitRevert.confirm":"Отменить","codex.gallery.dialogs.gitRevert.label":"Отменить изменения","codex.gallery.dialogs.gitRevert.skip":"Больше не спрашивать","codex.gallery.dialogs.gitRevert.subtitle":"Это действие отменит все эти изменения.","codex.gallery.dialogs.gitRevert.title":"Отменить изменения?","codex.gallery.dialogs.longForm.label":"Длинный диалог","codex.gallery.dialogs.proseModal.body":"Этот стиль модального окна используется для более длинных инструкций, ознакомительных материалов или блоков с расширенным контентом.","codex.gallery.dialogs.proseModal.close":"Закрыть","codex.gallery.dialogs.proseModal.subtitle":"Здесь вы можете поделиться более подробными инструкциями или документацией.","codex.gallery.dialogs.proseModal.title":"Прозаический модальный","codex.gallery.dialogs.submitBlocked.label":"Отправка заблокирована","codex.gallery.dialogs.submitBlocked.message":"Не удалось отправить ваше сообщение, так как проект недоступен.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Невозможно отправить сообщение","codex.gallery.dialogs.title":"Диалоги","codex.gallery.dropdown.filterPlaceholder":"Фильтровать товары","codex.gallery.dropdowns.actionRow":"Строки действий","codex.gallery.dropdowns.actionRow.disabled":"Действие отключено","codex.gallery.dropdowns.actionRow.primary":"Основное действие","codex.gallery.dropdowns.actionRow.secondary":"Вторичное действие","codex.gallery.dropdowns.actionRow.trigger":"Показать действия","codex.gallery.dropdowns.basic":"Базовый выпадающий список","codex.gallery.dropdowns.basic.newFile":"Новый файл","codex.gallery.dropdowns.basic.newFolder":"Новая папка","codex.gallery.dropdowns.basic.openSettings":"Открыть настройки","codex.gallery.dropdowns.basic.title":"Быстрые действия","codex.gallery.dropdowns.basic.trigger":"Открыть меню","codex.gallery.dropdowns.basic.upload":"Загрузить","codex.gallery.dropdowns.panel":"Поверхность панели","codex.gallery.dropdowns.panel.apply":"Применить","codex.gallery.dropdowns.panel.body":"Просмотрите изменения и примените их к своему проекту.","codex.gallery.dropdowns.panel.preview":"Предварительный просмотр","codex.gallery.dropdowns.panel.title":"Применить изменения","codex.gallery.dropdowns.panel.trigger":"Открыть панель","codex.gallery.dropdowns.search":"Выпадающий список с возможностью поиска","codex.gallery.dropdowns.search.first":"Альфа-канал","codex.gallery.dropdowns.search.second":"Бета-ветка","codex.gallery.dropdowns.search.third":"Кандидат на выпуск","codex.gallery.dropdowns.search.trigger":"Фильтровать товары","codex.gallery.dropdowns.submenu":"Выпадающее меню с подменю","codex.gallery.dropdowns.submenu.optionA":"Проект альфа","codex.gallery.dropdowns.submenu.optionB":"Проект бета","codex.gallery.dropdowns.submenu.optionC":"Проект гамма","codex.gallery.dropdowns.submenu.primary":"Назначить владельца","codex.gallery.dropdowns.submenu.secondary":"Передвинуть в","codex.gallery.dropdowns.submenu.tertiary":"Архивировать","codex.gallery.dropdowns.submenu.trigger":"Выбрать действие","codex.gallery.dropdowns.title":"Выпадающие списки","codex.gallery.inbox.automations.close":"Закрыть","codex.gallery.inbox.automations.popover.cardTitle":"Управление автоматизацией","codex.gallery.inbox.automations.popover.dialogTitle":"Управление автоматизацией","codex.header.settingsTooltip":"Настройки","codex.hunk.patch.error":"Не удалось выполнить подготовку","codex.hunk.patch.missing":"Не удалось создать патч для этого фрагмента кода.","codex.hunk.patch.partialSuccess":"Частичный успех","codex.hunk.patch.revertError":"Не удалось отменить изменения","codex.hunk.patch.revertSuccess":"Успешно отменено развертывание","codex.hunk.patch.success":"Успешно поставлено","codex.legal.autonomy.details":"Подробности по ссылке {link}","codex.legal.autonomy.details.link":"Документы Codex","codex.legal.autonomy.title":"Решите, какую автономию вы хотите предоставить","codex.legal.backButton":"Назад","codex.legal.cloud.taskOne.meta":"openai/agi · 12 окт.","codex.legal.cloud.taskOne.title":"Объясните репозиторий новому дизайнеру","codex.legal.cloud.taskThree.meta":"openai/codex · 8 окт.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Создайте темную тему","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 окт.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Исправьте ошибку при регистрации","codex.legal.continue.apikey":"Продолжить","codex.legal.continueButton":"Далее","codex.legal.copilot.details":"Использует ваш план Copilot для всех вызовов моделей, выставления счетов и ограничений тарифов. Использование расширения Codex регулируется как {oaiTos} и {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Условия использования GitHub","codex.legal.copilot.oaiTosLink":"Условия обслуживания OpenAI Codex","codex.legal.copilot.title":"Создано на GitHub","codex.legal.mistakes.review":"Просмотрите код, который он пишет, и команды, которые он запускает","codex.legal.mistakes.title":"Codex может допускать ошибки","codex.legal.powered.details":"Использует ограничения вашего плана и {link}","codex.legal.powered.details.link":"предпочтения данных обучения","codex.legal.powered.title":"На основе вашей учетной записи ChatGPT","codex.legal.step.cloud.subtitle":"Отправляйте задачи в Codex для выполнения в фоновом режиме, чтобы вы могли сосредоточиться и двигаться быстрее.","codex.legal.step.cloud.title":"Передача Codex в облаке","codex.legal.step.intro.subtitle":"Codex перемещается, редактирует, запускает команды и выполняет тесты непосредственно в вашем репозитории. Работает на основе вашей учетной записи ChatGPT.","codex.legal.step.intro.title":"Codex в вашей IDE","codex.legal.step.todo.subtitle":"Напишите комментарий TODO и преобразуйте его в задачу Codex одним щелчком мыши.","codex.legal.step.todo.title":"Превратите TODO в задачи Codex","codex.legal.todo.heading":"// TODO: реализовать схему","codex.localConversation.closeImagePreview":"Закрыть предварительный просмотр изображения","codex.localConversation.userImageAttachment":"Приложение пользователя","codex.localTaskRow.archiveTask":"Архивировать беседу","codex.localTaskRow.awaitingApproval":"Ожидает одобрения","codex.localTaskRow.awaitingResponse":"Ожидание ответа","codex.localTaskRow.confirmArchiveTask":"Подтвердить","codex.loggedOut.apiKeyPrompt.cancel":"Отменить","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Получить ключ API","codex.loggedOut.apiKeyPrompt.inputLabel":"Введите свой ключ API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Облачные задачи отключены с помощью ключа API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Облачные задачи отключены с помощью Copilot и ключа API","codex.loggedOut.signIn":"Войти с помощью ChatGPT","codex.loggedOut.signIn.cancel":"Отменить вход","codex.loggedOut.signInWithCopilot":"Войдите с помощью GitHub Copilot.","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Использовать ключ API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Инструмент: {tool}, MCP-сервер: {server}","codex.mcpTool.collapsedLabel.verb.called":"Вызвал","codex.mcpTool.collapsedLabel.verb.calling":"Вызывает","codex.mcpTool.embeddedResource.contentLabel":"Контент","codex.mcpTool.embeddedResource.mimeTypeLabel":"Тип MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Инструмент не вернул никакого контента","codex.mcpTool.rawPayloadHeading":"Необработанные {server}. Полезная нагрузка вызова инструмента {tool}","codex.menu.recent":"Недавнее","codex.menu.seeAllHistory":"Посмотреть всю историю","codex.modelCapacityBanner.headline.noReset":"{modelName} сейчас работает на полную мощность. Повторите попытку позже или начните новый разговор с другой моделью.","codex.modelCapacityBanner.headline.withReset":"{modelName} сейчас работает на полную мощность. Повторите попытку после {resetDate} или начните новый разговор с другой моделью.","codex.modelCapacityBanner.title":"Выбранная модель заполнена","codex.patch.change.contentsDeleted":"Содержимое удалено","codex.patch.change.created":"Создано","codex.patch.change.created-file":"Созданный файл","codex.patch.change.creating":"Создание","codex.patch.change.deleted":"Удалено","codex.patch.change.deleted-file":"Удаленный файл","codex.patch.change.deleting":"Удаление","codex.patch.change.edited":"Редактирование","codex.patch.change.edited-file":"Отредактированный файл","codex.patch.change.editing":"Редактирует","codex.patch.change.noChanges":"Никаких изменений","codex.patch.change.rejected-add":"Отклонено","codex.patch.change.rejected-delete":"Отклонено","codex.patch.change.rejected-edit":"Отклонено","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} из {total} задач выполнено","codex.plan.todoListCreated":"Список дел, созданный из {total} задач","codex.profileDropdown.apiKeyAuth":"Авторизован с ключом API","codex.profileDropdown.codexSettings":"Настройки Codex","codex.profileDropdown.copilotAuth":"Вошел через Copilot","codex.profileDropdown.defaultAccountTitle":"Учетная запись по умолчанию","codex.profileDropdown.enterBehavior":"Нажмите {modifierSymbol} + Enter, чтобы отправить длинные запросы","codex.profileDropdown.enterBehaviorError":"Не удалось обновить настройку","codex.profileDropdown.getPlus":"Обновите тарифный план для увеличения лимитов","codex.profileDropdown.keyboardShortcuts":"Сочетания клавиш","codex.profileDropdown.language":"Язык","codex.profileDropdown.languageDefault":"Автоматически определять","codex.profileDropdown.languageSearchPlaceholder":"Поиск языков","codex.profileDropdown.languageUpdateError":"Не удалось обновить язык","codex.profileDropdown.logOut":"Выйти","codex.profileDropdown.mcp":"Настройки MCP","codex.profileDropdown.openConfigToml":"Открыть config.toml","codex.profileDropdown.openConfigToml.wsl":"Открыть config.toml в окружении WSL","codex.profileDropdown.openExtensionSettings":"Открыть настройки","codex.profileDropdown.openMcpSettings":"Открыть настройки MCP","codex.profileDropdown.openOnStartup":"Открыть при запуске","codex.profileDropdown.openOnStartupError":"Не удалось обновить настройку","codex.profileDropdown.openSkillsSettings":"Открыть настройки навыков","codex.profileDropdown.personalAccountTitle":"Личная учетная запись","codex.profileDropdown.queueFollowUps":"Последующие действия в очереди","codex.profileDropdown.queueFollowUpsError":"Не удалось обновить настройку","codex.profileDropdown.readDocs":"Читать документацию","codex.profileDropdown.readSkillsDocs":"Читать документацию","codex.profileDropdown.runInWsl":"Запустить в WSL","codex.profileDropdown.runInWslError":"Не удалось обновить настройку","codex.profileDropdown.runInWslTooltip":"Запускает Codex внутри WSL. Рекомендуется для повышения безопасности песочницы и повышения производительности.","codex.profileDropdown.settings":"Настройки IDE","codex.profileDropdown.settingsPage":"Настройки","codex.profileDropdown.signInWithOpenAI":"Войти с помощью ChatGPT","codex.profileDropdown.skills":"Настройки навыков","codex.profileDropdown.switchToCopilotAccount":"Использовать учетную запись Copilot","codex.profileDropdown.switchToOpenAIAccount":"Использовать учетную запись OpenAI","codex.profileDropdown.todoCodelens":"Исправить комментарии TODO","codex.profileDropdown.todoCodelensError":"Не удалось обновить настройку","codex.profileDropdown.windowsDocumentation":"Документация Windows","codex.profileFooter.signedInFallback":"Настройки","codex.profileFooter.upgrade":"Обновить","codex.recentTasksMenu.clearSearch":"Очистить поиск","codex.recentTasksMenu.cloud":"Облачные задачи","codex.recentTasksMenu.count":"{count, plural, =0 {Нет незавершенных задач} one {# задача в процессе} few {# задачи в процессе} many {# задач в процессе} other {# задачи в процессе}}","codex.recentTasksMenu.empty":"Пока нет бесед","codex.recentTasksMenu.errorCloud":"Не удалось загрузить задачи.","codex.recentTasksMenu.errorCloud.inline":"Не удалось загрузить облачные задачи.","codex.recentTasksMenu.filterAll":"Все","codex.recentTasksMenu.filterCloudTasks":"Фильтрация облачных задач","codex.recentTasksMenu.filterTooltip":"Фильтрация задач по окружению","codex.recentTasksMenu.local":"Локальные задачи","codex.recentTasksMenu.recent":"Все задачи","codex.recentTasksMenu.search":"Поиск недавних задач","codex.recentTasksMenu.searchEmpty":"Нет результата","codex.recentTasksMenu.tooltip":"История задач","codex.recentTasksMenu.trigger":"Недавнее задачи {count, plural, one {# выполняется} few {# выполняется} many {# выполняется} other {# выполняется}}","codex.remoteConversation.applyDiff.applyCta":"Применить изменения","codex.remoteConversation.applyDiff.dropdownTitle":"Применить изменения к локальной ветке","codex.remoteConversation.applyDiff.revertCta":"Отменить изменения","codex.remoteConversation.closeImagePreview":"Закрыть предварительный просмотр изображения","codex.remoteConversation.codexCloudTask":"Вы просматриваете <u>облачную задачу Codex</u>","codex.remoteConversation.errorWithMessage":"Ошибка: {message}","codex.remoteConversation.loadingImage":"Загрузка изображения","codex.remoteConversation.openInWeb":"Открыть в сети","codex.remoteConversation.streaming":"Начало работы","codex.remoteConversation.turnFailed":"Во время выполнения этой задачи произошла ошибка","codex.remoteConversation.turnTab.loading":"Попытка {number}","codex.remoteConversation.turnTab.title":"Попытка {number}","codex.remoteConversation.userImageAttachment":"Приложение пользователя","codex.remoteConversation.viewPreviousTurns":"Открыть в сети","codex.remoteConversation.viewPreviousTurns.buttonText":"Открыть","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Открыть в сети","codex.review.copyGitApplyCommand":"Скопировать команду git apply","codex.review.copyGitApplyCommand.toast":"Команда git apply скопирована в буфер обмена","codex.review.diffTooLarge.description":"Разница слишком велика для отображения в режиме просмотра изменений.","codex.review.diffTooLarge.title":"Разница слишком велика для отображения","codex.review.expandOrCollapseDiffButton.collapse":"Свернуть все различия","codex.review.expandOrCollapseDiffButton.expand":"Развернуть все различия","codex.review.expandOrCollapseDiffMenu.collapse":"Свернуть все различия","codex.review.expandOrCollapseDiffMenu.expand":"Развернуть все различия","codex.review.fileSearch.clear":"Очистить фильтр файлов","codex.review.fileSearch.empty":"Файлы, соответствующие текущему фильтру, отсутствуют.","codex.review.fileSearch.label":"Фильтрация файлов","codex.review.fileSearch.placeholder":"Фильтрация файлов...","codex.review.filesChanged":"{num, plural, =0 {Ни один файл не был изменен} one {Изменен # файл} few {Изменено # файла} many {Изменено # файлов} other {Изменено # файла}}","codex.review.find.loadMore":"Загрузить больше совпадений","codex.review.fullReview.hideFileTree":"Скрыть дерево файлов","codex.review.fullReview.showFileTree":"Показать дерево файлов","codex.review.header.moreOptions":"Просмотреть варианты","codex.review.largeDiff.banner":"Обнаружены значительные различия — отображается по одному файлу за раз.","codex.review.loadFullFiles.disable":"Не загружать файлы целиком","codex.review.loadFullFiles.enable":"Загружать файлы целиком","codex.review.noDiff":"Здесь будут отображаться изменения в файле","codex.review.noDiff.gitInit.createRepository":"Создать репозиторий git","codex.review.noDiff.gitInit.creating":"Создание…","codex.review.noDiff.gitInit.error":"Ошибка инициализации Git: {message}","codex.review.noDiff.gitInit.success":"Репозиторий Git создан","codex.review.noDiff.gitRepoRequired.description":"Отслеживайте и отменяйте изменения в этом проекте","codex.review.noDiff.gitRepoRequired.title":"Создать репозиторий Git","codex.review.noDiff.orNoLongerAvailable":"или последние различия больше не доступны","codex.review.noDiff.reverted":"Последний ход был отменен","codex.review.noDiff.revertedOrCommitted":"Последний ход либо был отменен, либо зафиксирован","codex.review.refreshGitQueries":"Обновить","codex.review.revert.file.error":"Не удалось выполнить откат {path}","codex.review.revert.file.partialSuccess":"Частично отменено {path}","codex.review.revert.file.success":"Отменено {path}","codex.review.revert.hunk.error":"Не удалось отменить изменения {hunkNumber} в {path}","codex.review.revert.hunk.partialSuccess":"Частично отмененный фрагмент {hunkNumber} в {path}","codex.review.revert.hunk.success":"Отмененный фрагмент {hunkNumber} в {path}","codex.review.revert.section.error":"Не удалось отменить изменения в разделе","codex.review.revert.section.partialSuccess":"Раздел частично восстановлен","codex.review.revert.section.success":"Раздел восстановлен","codex.review.revertDialog.cancel":"Отменить","codex.review.revertDialog.confirm":"Подтвердить","codex.review.revertDialog.message":"Это действие отменит все эти изменения.","codex.review.revertDialog.skip":"Больше не спрашивать","codex.review.revertDialog.title":"Отменить изменения?","codex.review.richPreview.disable":"Отключить расширенный предварительный просмотр","codex.review.richPreview.enable":"Включить расширенный предварительный просмотр","codex.review.source.cloud":"Изменения в облаке","codex.review.source.local.all":"Все изменения в ветке","codex.review.source.local.lastTurn":"Изменения в последнем ходе","codex.review.source.local.uncommitted":"Незафиксированные изменения","codex.review.source.worktree":"Незафиксированные изменения в рабочем дереве","codex.review.stageFilter.empty.staged.description":"Примите изменения, чтобы подготовить их к публикации","codex.review.stageFilter.empty.staged.title":"Никаких запланированных изменений","codex.review.stageFilter.empty.unstaged.description":"Изменения в коде появятся здесь","codex.review.stageFilter.empty.unstaged.title":"Нет незафиксированных изменений","codex.review.stageFilter.staged":"Поставленный","codex.review.stageFilter.staged.count":"Поставленный · {count}","codex.review.stageFilter.unstaged":"Непоставленный","codex.review.stageFilter.unstaged.count":"Непоставленный · {count}","codex.review.switchToSplit":"Переключиться в режим сравнения с разделением экрана","codex.review.switchToUnified":"Переключиться на унифицированный дифференциал","codex.review.toggleDiffView":"Переключить режим просмотра различий","codex.review.wordDiffs.disable":"Отключить сравнение слов","codex.review.wordDiffs.enable":"Включить сравнение слов","codex.review.wrap.disable":"Отключить перенос слов","codex.review.wrap.enable":"Включить перенос слов","codex.section.patch.missing":"Не удалось создать патч для этого раздела.","codex.shell.collapse":"Свернуть оболочку","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Скопированное содержимое оболочки","codex.shell.copy.copyTooltip":"Скопировать содержимое оболочки","codex.shell.copyCommand":"Скопировать команду","codex.shell.copyOutput":"Скопировать результат","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"баш","codex.shell.expand":"Развернуть оболочку","codex.shell.name":"Оболочка","codex.shell.noOutput":"Нет вывода","codex.signInFailed.message":"Войти в систему не удалось: {rawMessage}","codex.stories.toast.show":"Показать тост","codex.stories.tooltip.basic":"Это подсказка","codex.stories.tooltip.hoverMe":"Наведите на меня","codex.stories.tooltip.largerOffset":"Эта подсказка имеет большее смещение","codex.stories.tooltip.offsetButton":"Большее смещение","codex.stories.tooltip.shortcutButton":"С помощью сочетания клавиш","codex.stories.tooltip.withShortcut":"Переключить терминал","codex.taskRow.title":"Новая беседа","codex.taskRowLayout.confirm":"Подтвердить","codex.threadFindBar.chatFilter":"Поиск в чате","codex.threadFindBar.close":"Закрыть поиск","codex.threadFindBar.diffFilter":"Поиск различий","codex.threadFindBar.label":"Найти в беседе","codex.threadFindBar.nextResult":"Следующий результат","codex.threadFindBar.noResults":"0 результатов","codex.threadFindBar.placeholder":"Поиск в беседе…","codex.threadFindBar.placeholder.extension":"Поиск в беседе…","codex.threadFindBar.placeholder.review":"Поиск различия...","codex.threadFindBar.placeholder.review.extension":"Поиск различия...","codex.threadFindBar.previousResult":"Предыдущий результат","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {Изменен # файл} few {Изменено # файла} many {Изменено # файлов} other {Изменено # файла}}","codex.unifiedDiff.inlineLargeFile":"Слишком большой размер для отображения в тексте","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Отменить","codex.unifiedDiff.revertPatchError":"Не удалось отменить изменения","codex.unifiedDiff.revertPatchSuccess":"Изменения отменены","codex.unifiedDiff.reviewChangesSuffix":"изменения","codex.unifiedDiff.reviewShort":"Проверить","codex.unifiedDiff.viewDiffTooltip":"Проверить","codex.upsellBanner.business.headline":"Чтобы получить дополнительный доступ сейчас, отправьте запрос своему администратору, или подождите до {resetDate}.","codex.upsellBanner.cbp.headline":"Чтобы получить дополнительный доступ сейчас, отправьте запрос своему администратору.","codex.upsellBanner.cta.addCredits":"Добавить кредиты","codex.upsellBanner.cta.upgradeAccount":"Обновить","codex.upsellBanner.cta.viewUsage":"Просмотр использования","codex.upsellBanner.free.trialHeadline":"Ваш лимит запросов будет сброшен {resetDate}. Чтобы продолжить использовать Codex и получить доступ к GPT-5.3-Codex, начните бесплатную пробную версию Plus уже сегодня.","codex.upsellBanner.freeOrGo.headline":"Ваш лимит запросов будет сброшен {resetDate}. Чтобы продолжить использовать Codex, оформите подписку Plus сегодня.","codex.upsellBanner.general.headline":"Ваш лимит запросов будет сброшен {resetDate}","codex.upsellBanner.general.title":"У вас закончились сообщения Codex","codex.upsellBanner.go.trialHeadline":"Ваш лимит запросов будет сброшен {resetDate}. Чтобы продолжить использовать Codex, начните бесплатную пробную версию Plus уже сегодня.","codex.upsellBanner.plus.headline":"Ваш лимит запросов будет сброшен {resetDate}. Чтобы продолжить использовать Codex, оформите подписку Pro сегодня.","codex.upsellBanner.pro.headline":"Ваш лимит запросов будет сброшен {resetDate}. Добавьте кредиты, чтобы продолжить использовать Codex прямо сейчас.","codex.userMessage.autoResolveSync":"Автоматическое разрешение конфликтов","codex.userMessage.commentCount":"{count, plural, one {# комментарий} few {# комментария} many {# комментариев} other {# комментария}}","codex.userMessage.copiedAriaLabel":"Скопировано","codex.userMessage.copiedTooltip":"Скопировано","codex.userMessage.copyAriaLabel":"Скопировать сообщение","codex.userMessage.copyTooltip":"Копировать","codex.userMessage.implementPlan":"Реализовать план","codex.userMessage.noContent":"(Нет контента)","codex.userMessage.priorConversation":"Ссылки на предыдущий разговор","codex.userMessage.reviewMode":"Режим просмотра","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"для {query}","codex.webSearch.summary.verb.completed":"Искал в интернете","codex.webSearch.summary.verb.inProgress":"Поиск в интернете","codex.windowsInstallWslBanner.dismiss":"Удалить","codex.windowsInstallWslBanner.installWslCta":"Включить песочницу","codex.windowsInstallWslBanner.learnMore":"Узнать больше","codex.windowsSandboxBanner.content":"В режиме агента используется экспериментальная «песочница» Windows для ограничения доступа к файловой системе и сети.{sandboxLink}","codex.windowsSandboxBanner.title":"Включить песочницу для режима агента","codex.windowsSubDropdown.windowsSandbox":"Песочница Windows","codex.windowsSubDropdown.windowsSettings":"Настройки Windows","codexUpgradeModal.body":"Наша новейшая модель автономного программирования — более интеллектуальная, быстрая и способная выполнять более широкий спектр технических задач. {link}","codexUpgradeModal.close":"Закрыть","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Узнать больше","codexUpgradeModal.title":"Представляем GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Попробуйте GPT-5.3-Codex прямо сейчас","codexUpgradeModal.useExistingModel":"Продолжить использование текущей модели","commentAttachments.numComments":"{count, plural, one {# комментарий} few {# комментария} many {# комментариев} other {# комментария}}","commentAttachments.removeAriaLabel":"Удалить вложение комментариев","common.close":"Закрыть","composer.addContext.openFilePickerError":"Не удалось открыть диалоговое окно выбора файла","composer.addContextDropdown.ariaLabel":"Добавляйте файлы и многое другое","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Добавляйте файлы и многое другое","composer.addPhotosAndFiles":"Добавить фотографии и файлы","composer.atMentionList.emptyQuery":"Введите для поиска файлов","composer.atMentionList.loading":"Поиск…","composer.atMentionList.noResults":"Нет результатов","composer.attemptsSelector.option":"{count, plural, one {# версия} few {# версии} many {# версий} other {# версии}}","composer.attemptsSelector.tooltip":"Количество параллельных попыток Codex","composer.attemptsSelector.trigger":"{count}х","composer.backgroundTerminals.stop":"Остановить","composer.cloudFollowUp.cloud":"Облако","composer.cloudFollowUp.local":"Местный","composer.cloudFollowUp.whereRun":"Где должно проводиться это последующее наблюдение?","composer.cloudTaskCreationError":"Ошибка создания облачной задачи","composer.cloudTaskError":"Ошибка создания задачи","composer.contextWindow.autoCompactionTooltipLine1":"Codex автоматически сжимает свой контекст","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Контекстное окно:","composer.contextWindowUsageStatusFull":"{usage}% заполнено","composer.contextWindowUsageStatusLeft":"{usage}% использовано (осталось {remaining}%)","composer.contextWindowUsageTooltip":"Использовано {usedTokens} к / {contextWindow} к токенов","composer.customCliTooltip":"Использование пользовательского исполняемого файла командной строки","composer.dictation.aria":"Диктовать","composer.dictation.cancel.aria":"Остановить диктовку","composer.dictation.cancel.tooltip":"Остановить диктовку","composer.dictation.startError":"Не удалось начать диктовку","composer.dictation.submit.aria":"Расшифровать и отправить","composer.dictation.submit.tooltip":"Расшифровать и отправить","composer.dictation.tooltip":"Нажмите для диктовки","composer.dictation.transcribeError":"Не удалось расшифровать аудио","composer.dictation.unsupported":"Диктовка недоступна на этом устройстве","composer.dropOverlay.holdShift":"Удерживайте {key}, чтобы уронить","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Создать новый","composer.environmentSelector.error":"Ошибка загрузки окружений","composer.environmentSelector.goBack":"Вернуться к композитору","composer.environmentSelector.title":"Выбрать окружение","composer.environmentSelector.tooltip":"Выберите облачное окружение","composer.feedbackSlashCommand.title":"Отзыв","composer.filePicker.selectFile":"Выбрать файл","composer.filePicker.selectFiles":"Выбрать файлы","composer.followerTooltip":"Чтобы продолжить, вернитесь к окну, где началось это обсуждение.","composer.footer.branchSwitch.checkoutError":"Не удалось переключить ветку: {message}","composer.footer.branchSwitch.createAndCheckout":"Создать и переключиться на новую ветку…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Подтвердите изменения, чтобы создать и переключиться на новую ветку","composer.footer.branchSwitch.createBranchError":"Не удалось создать ветку: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Имя ветки","composer.footer.branchSwitch.createDialog.branchExistsError":"Ветка уже существует.","composer.footer.branchSwitch.createDialog.close":"Закрыть","composer.footer.branchSwitch.createDialog.createAndCheckout":"Создать и переключиться","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Создать и переключиться на ветку","composer.footer.branchSwitch.createDialog.trailingSlashError":"Название ветки не может заканчиваться символом /","composer.footer.branchSwitch.tooltip":"Переключить ветку","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Зафиксируйте изменения в {fileCount, plural, one {# файл} few {# файла} many {# файла} other {# файла}} для извлечения {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Зафиксировать","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"изменения в {fileCount, plural, one {# файл} few {# файла} many {# файла} other {# файла}} для извлечения {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Отменить","composer.footer.branchSwitch.uncommittedDialog.commit":"Зафиксировать и переключить ветку...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Изменения в следующих файлах будут перезаписаны при оформлении заказа:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Зафиксируйте изменения, чтобы продолжить","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"выбранная ветка","composer.footer.branchSwitch.uncommittedDialog.title":"Зафиксировать изменения для переключения ветки","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Не подтверждено: {fileCount, plural, one {# файл} few {# файла} many {# файлов} other {# файлов}}","composer.forkSlashCommand.description":"Разветвить эту беседу на локальное или новое рабочее дерево","composer.forkSlashCommand.option.local.description":"Продолжить в новой локальной беседе","composer.forkSlashCommand.option.local.title":"Разветвить в локальную","composer.forkSlashCommand.option.worktree.description":"Продолжить в новом рабочем дереве","composer.forkSlashCommand.option.worktree.title":"Разветвить в новое рабочее дерево","composer.forkSlashCommand.title":"Разветвить","composer.ideContextIndicator":"Контекст IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Включить контекст из IDE","composer.ideContextIndicator.tooltipToggle":"для переключения","composer.ideContextSlashCommand.disableDescription":"Отключить контекст IDE","composer.ideContextSlashCommand.enableDescription":"Включите текущий выделенный фрагмент, открытые файлы и другой контекст из вашей интегрированной среды разработки","composer.ideContextSlashCommand.title":"Контекст IDE","composer.imageInputsUnsupported":"Эта модель не поддерживает ввод изображений. Попробуйте другую модель.","composer.imageUploadFailed":"Не удалось загрузить изображение","composer.includeIdeContextDropdown":"Включить контекст IDE","composer.includeIdeContextDropdown.ariaLabel":"Включить контекст IDE","composer.localCwdDropdown.addWorkspaceRoot":"Добавить новый проект","composer.localCwdDropdown.noActiveRoot":"Выберите свой проект","composer.localCwdDropdown.noResults":"Папки не найдены","composer.localCwdDropdown.title":"Выберите свой проект","composer.localTaskError":"Ошибка начала разговора","composer.mcpSlashCommand.description":"Показать статус сервера MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Не аутентифицирован","composer.mcpStatus.authOauth":"Аутентифицировано (OAuth)","composer.mcpStatus.authToken":"Аутентифицировано (API-ключ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Закрыть","composer.mcpStatus.disabled":"Отключено","composer.mcpStatus.emptyLabel":"Серверы:","composer.mcpStatus.emptyValue":"Серверы MCP не настроены","composer.mcpStatus.enabled":"Включено","composer.mcpStatus.errorLabel":"Статус:","composer.mcpStatus.errorValue":"Не удалось загрузить статус MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Сменить режим","composer.mode.agentMode.custom":"Пользовательский","composer.mode.agentMode.custom.dropdownLabel":"Пользовательский","composer.mode.agentMode.custom.option":"Пользовательский (config.toml)","composer.mode.agentMode.custom.optionLabel":"Пользовательский (config.toml)","composer.mode.agentMode.customInfo.cancel":"Отменить","composer.mode.agentMode.customInfo.cli":"Вы можете настроить эти параметры из CLI или напрямую отредактировав файл.","composer.mode.agentMode.customInfo.confirm":"Использовать пользовательский режим","composer.mode.agentMode.customInfo.description":"Пользовательский режим применяет политики утверждения и изолированной программной среды, определенные в вашем файле <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Подробности о настройке политик утверждения и изолированной программной среды смотрите в разделе <link>документации по окружению выполнения</link>.","composer.mode.agentMode.customInfo.refresh":"Любые изменения вступят в силу при следующем запуске агента.","composer.mode.agentMode.customInfo.title":"Как работает пользовательский режим","composer.mode.agentMode.fullAccess":"Агент (полный доступ)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (полный доступ)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (полный доступ)","composer.mode.agentMode.fullAccessConfirm.caution":"Соблюдайте осторожность при включении полного доступа. Это значительно увеличивает риск потери данных, утечек или неожиданного поведения.","composer.mode.agentMode.fullAccessConfirm.confirm":"Да, все равно продолжить","composer.mode.agentMode.fullAccessConfirm.description":"Когда Codex работает с полным доступом, он может редактировать любой файл на вашем компьютере и запускать команды по сети без вашего разрешения.","composer.mode.agentMode.fullAccessConfirm.goBack":"Отменить","composer.mode.agentMode.fullAccessConfirm.title":"Включить полный доступ?","composer.mode.agentMode.readOnly":"Чат","composer.mode.agentMode.readOnly.dropdownLabel":"Чат","composer.mode.agentMode.readOnly.optionLabel":"Чат","composer.mode.agentMode.tooltip":"Сменить режим","composer.mode.agentMode.tooltip.auto":"Чтение и редактирование файлов, а также запуск команд.","composer.mode.agentMode.tooltip.custom":"Используйте последние политики утверждения и изолированной программной среды, определенные в config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex может редактировать файлы за пределами проекта и выполнять команды с доступом к сети. Используйте с осторожностью.","composer.mode.agentMode.tooltip.readOnly":"Требуется разрешение на редактирование файлов и запуск команд.","composer.mode.cloud.tooltip":"Работайте в облачном окружении","composer.mode.contactAdmin":"Чтобы получить дополнительный доступ, обратитесь к администратору","composer.mode.local":"Местный","composer.mode.local.learnMore":"Узнать больше","composer.mode.local.model.custom":"Пользовательский","composer.mode.local.model.loadingModel":"Загрузка модели","composer.mode.local.model.selecrReasoningEffort":"Выберите рассуждение","composer.mode.local.model.selectModel":"Выбрать модель","composer.mode.local.model.tooltip":"Выберите модель","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Высокий","composer.mode.local.reasoning.low.label":"Низкий","composer.mode.local.reasoning.medium.label":"Средний","composer.mode.local.reasoning.minimal.label":"Минимальное","composer.mode.local.reasoning.none.label":"Ничего","composer.mode.local.reasoning.xhigh.label":"Очень высокий","composer.mode.localRemoteWhereRun":"Выберите, где следует выполнить задачу","composer.mode.newTask.header":"Продолжить в","composer.mode.rateLimit.day":"{days}д","composer.mode.rateLimit.heading":"Оставшиеся лимиты ставок","composer.mode.rateLimit.hour":"{hours}ч","composer.mode.rateLimit.minute":"{minutes}м","composer.mode.rateLimit.modelSectionLabel":"Лимит {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {недельный лимит} few {{weeks} недельных лимита} many {{weeks} недельных лимитов} other {{weeks} недельных лимита}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Еженедельно} few {{weeks} недели} many {{weeks} недель} other {{weeks} недели}}","composer.mode.remote.connectToCloud":"Подключить веб-сайт Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Настройте среду через веб-сайт Codex, чтобы разрешить отправку задач в облако.","composer.mode.remote.selectEnvironment":"Выбрать окружение","composer.mode.remote.sendToCloud":"Отправить в облако","composer.mode.remote.setupViaWeb":"Настройка окружения через веб-сайт Codex","composer.mode.runInCloud":"Облако","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Работа в облачном окружении","composer.mode.segmentedToggle.local.tooltip":"Работа в вашем локальном проекте","composer.mode.segmentedToggle.worktree.tooltip":"Работа в параллельном рабочем дереве","composer.mode.upgradeToPlus":"Перейти на Plus","composer.mode.upgradeToPro":"Перейти на Pro","composer.mode.workLocally":"Локальный проект","composer.mode.workLocally.currentBranchFallback":"ваша ветка","composer.mode.workLocally.tooltip":"Работать над {branchName}","composer.mode.worktree":"Новое рабочее дерево","composer.mode.worktree.submoduleWarning":"В этом репозитории используются подмодули git. Создание рабочего дерева может завершиться неудачей","composer.mode.worktree.tooltip":"Создайте копию вашего локального проекта для параллельной работы","composer.mode.worktreeSegment":"Рабочее дерево","composer.modelChangeDuringConversationWarning.toast":"Изменение модели во время обсуждения приведет к снижению производительности.","composer.newChat.heading.browser":"Что нам следует запрограммировать дальше?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex использует разрешения, определенные в файле config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex имеет полный доступ к вашему компьютеру (повышенный риск)","composer.permissionsDropdown.custom.label":"Пользовательский (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Пользовательский (config.toml)","composer.permissionsDropdown.default.label":"Разрешения по умолчанию","composer.permissionsDropdown.default.optionLabel":"Разрешения по умолчанию","composer.permissionsDropdown.default.tooltip":"Codex автоматически выполняет команды в песочнице","composer.permissionsDropdown.disabled.requirements":"Права доступа заблокированы в соответствии с файлом requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Полный доступ отключен в соответствии с требованиями файла requirements.toml","composer.permissionsDropdown.fullAccess.label":"Полный доступ","composer.permissionsDropdown.fullAccess.optionLabel":"Полный доступ","composer.permissionsDropdown.trigger.tooltip":"Изменение разрешений","composer.personalitySlashCommand.description.friendly":"Теплый, располагающий к сотрудничеству и готовый помочь","composer.personalitySlashCommand.description.pragmatic":"Краткий, ориентированный на решение задач и прямолинейный","composer.personalitySlashCommand.label.friendly":"Дружелюбный","composer.personalitySlashCommand.label.pragmatic":"Прагматичный","composer.personalitySlashCommand.notApplicableSuffix":"(Не относится к текущей модели)","composer.personalitySlashCommand.title":"Личность","composer.placeholder.cloudFollowUp.directFollowUp":"Продолжение выполнения этого задания в облаке","composer.placeholder.cloudFollowUp.local":"Создайте новую локальную задачу, которая ссылается на эту облачную задачу","composer.placeholder.cloudFollowUp.workingTree":"Создайте новую облачную задачу, которая будет включать ваш текущий код и ссылаться на эту задачу","composer.placeholder.localFollowUp.cloud":"Последующие действия в рамках новой облачной задачи","composer.placeholder.localFollowUp.locally":"Запросите внесение дополнительных изменений","composer.placeholder.newTask.cloud":"Попросите Codex выполнить любое действие в облаке","composer.placeholder.newTask.doAnything":"Попросите Codex сделать что-нибудь","composer.placeholder.newTask.locally":"Задайте Codex любой вопрос, используйте @ для добавления файлов, / для команд","composer.planModeDropdown":"Режим планирования","composer.planModeDropdown.ariaLabel":"Режим планирования","composer.planModeIndicator":"План","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Создать план с помощью Codex","composer.planModeIndicator.tooltipToggle":"для переключения","composer.planSlashCommand.disableDescription":"Режим планирования выключен","composer.planSlashCommand.enableDescription":"Режим планирования включен","composer.planSlashCommand.title":"Режим планирования","composer.priorContext.label":"Предыдущий контекст","composer.priorContext.removeAriaLabel":"Удалить предыдущий контекст","composer.queuedMessage.delete":"Удалить сообщение из очереди","composer.queuedMessage.edit":"Редактировать сообщение","composer.queuedMessage.more":"Действия с сообщениями в очереди","composer.queuedMessage.sendNow":"Управление","composer.queuedMessage.sendNowTooltip":"Отправить сейчас, не прерывая работу","composer.queuedMessage.turnOff":"Отключить постановку в очередь","composer.reasoningEffort.local.reasoning.tooltip":"Выберите усилие рассуждения","composer.remote.branchStartingPoint":"С какой ветки следует начать выполнение этой задачи?","composer.remote.branchesSectionHeading":"Ветки","composer.remote.currentEditsSuffix.followUp":"Создайте новую задачу, которая ссылается на эту облачную задачу.","composer.remote.currentEditsSuffix.useLocal":"с изменениями локального кода","composer.remote.directFollowUp":"Не используйте локальные изменения","composer.remote.errorLoadingBranches":"Ошибка загрузки веток","composer.remote.fromBranch":"Из {branch}","composer.remote.fromCurrentBranch":"От {branch} (текущий)","composer.remote.loadingMoreBranches":"Загрузка…","composer.remote.localFileStateHeading":"Состояние локального файла","composer.remote.localWorkingTree":"Использовать локальные изменения","composer.remote.startingPoint":"С какого кода следует начать выполнение этой задачи?","composer.reviewMode.branches.error":"Невозможно загрузить ветки","composer.reviewMode.branches.retry":"Повторить","composer.reviewMode.gitRoot.error":"Корень Git не найден","composer.reviewMode.option.baseBranch.simple":"Обзор базовой ветки","composer.reviewMode.option.unstaged.simple":"Просмотр незафиксированных изменений","composer.reviewMode.quickReviewError":"Не удалось начать проверку кода.","composer.reviewMode.title":"Обзор кода","composer.sandboxButton.unlock.disabled.tooltip":"Полный доступ отключен в соответствии с требованиями файла requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex может использовать экспериментальную «песочницу» Windows для ограничения доступа к файловой системе и сети.{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Включить песочницу Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Использовать только для чтения","composer.searchEnvironments":"Поиск окружений","composer.skillMentionList.app":"Приложение","composer.skillMentionList.loading":"Загрузка навыков…","composer.skillMentionList.noResults":"Навыков не обнаружено","composer.slashCommands.cloudEnvironment.title":"Облачное окружение","composer.slashCommands.dialogLabel":"Меню команд с косой чертой","composer.slashCommands.dialogTitle":"Команды с косой чертой","composer.slashCommands.disabledTooltip":"Начните новое обсуждение, чтобы использовать команды с косой чертой","composer.slashCommands.inputPlaceholder":"Поиск","composer.slashCommands.noResults":"Нет команд","composer.slashCommands.skillsGroup":"Навыки","composer.slashCommands.tooltip":"Просмотреть команды с косой чертой","composer.status.close":"Закрыть","composer.statusPlain.alertLabel":"Предупреждение:","composer.statusPlain.alertValue":"Осталось {remaining}% в {window}","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"Использовано {used} из {total}","composer.statusPlain.contextValueRemaining":"Остается {remaining}%","composer.statusPlain.heading":"Статус","composer.statusPlain.modelRateLimitSectionLabel":"Лимит {modelName}:","composer.statusPlain.rateLimitDays":"Лимит {count} д","composer.statusPlain.rateLimitFallbackLabel":"Лимит скорости:","composer.statusPlain.rateLimitHours":"Лимит {count} ч","composer.statusPlain.rateLimitLabelBase":"Лимит скорости","composer.statusPlain.rateLimitMinutes":"Лимит {count} м","composer.statusPlain.rateLimitPercent":"Остается {remaining}%","composer.statusPlain.rateLimitReset":"сброс {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"время сброса недоступно","composer.statusPlain.rateLimitUnavailable":"Недоступно","composer.statusPlain.sessionCopiedAriaLabel":"Идентификатор сеанса скопирован","composer.statusPlain.sessionCopiedTooltip":"Идентификатор скопирован","composer.statusPlain.sessionCopyAriaLabel":"Копировать идентификатор сеанса","composer.statusPlain.sessionCopyTooltip":"Копировать идентификатор","composer.statusPlain.sessionLabel":"Сеанс:","composer.statusSlashCommand.description":"Показать идентификатор потока, использование контекста и лимиты скорости","composer.statusSlashCommand.title":"Статус","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Невозможно отправить сообщение","composer.submit.emptyMessage":"Введите сообщение, чтобы начать","composer.submit.imageInputsUnsupported":"Удалите изображения или смените модели, чтобы отправить это сообщение.","composer.submit.loadingLocalConfig":"Загрузка…","composer.submit.missingCloudConfig":"Вы должны выбрать облачное окружение","composer.submit.missingCloudTurn":"Невозможно выполнить эту задачу","composer.submit.noWorkspace":"Добавьте проект, чтобы использовать Codex","composer.submit.waitForImageUploads":"Загрузка изображений…","composer.submitButtonTooltip.send":"Отправить","composer.submitButtonTooltip.stop":"Остановить","composer.worktreeEnvironment.create":"Создать местное окружение","composer.worktreeEnvironment.default":"Окружение по умолчанию","composer.worktreeEnvironment.error":"Ошибка загрузки окружений","composer.worktreeEnvironment.loading":"Загрузка окружений…","composer.worktreeEnvironment.title":"Местное окружение","composer.worktreeEnvironment.tooltip":"Выбрать местное окружение","composer.worktreeSetupFailed":"Не удалось настроить рабочее окружение. Проверьте наличие скрипта настройки в папке .codex/environments.","compoundButton.secondaryAction":"Вторичное действие","copyButton.copied":"Скопировано","copyButton.copiedAriaLabel":"Скопировано","copyButton.copy":"Копировать","copyButton.copyAriaLabel":"Копировать","copyButton.copyCode":"Копировать код","diff.actionButton.revertFile":"Восстановить файл","diff.actionButton.revertHunk":"Отменить","diff.actionButton.revertSection":"Отменить все","diff.actionButton.revertSectionLabel":"Отменить все","diff.actionButton.stageFile":"Файл сцены","diff.actionButton.stageHunk":"Сцена","diff.actionButton.stageSection":"Поставить все на сцену","diff.actionButton.stageSectionLabel":"Поставить все на сцену","diff.actionButton.unstageFile":"Отменить изменения файла","diff.actionButton.unstageHunk":"Отменить изменения","diff.actionButton.unstageSection":"Отменить все","diff.actionButton.unstageSectionLabel":"Отменить все","diff.fileHeader.toggle":"Переключить отображение различий в файлах","electron.onboarding.login.apikey.cancel":"Отменить","electron.onboarding.login.apikey.continue":"Продолжить","electron.onboarding.login.apikey.label":"API-ключ OpenAI","electron.onboarding.login.apikey.open":"Введите API-ключ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Отменить вход","electron.onboarding.login.chatgpt.continue":"Продолжить с ChatGPT","electron.onboarding.login.devbox":"Подключиться к удаленному SSH","electron.onboarding.login.error":"Войти в систему не удалось: {rawMessage}","electron.onboarding.login.snake.start":"Играть в змейку","electron.onboarding.login.sshConfig.cancel":"Отменить","electron.onboarding.login.sshConfig.continue":"Продолжить","electron.onboarding.login.sshConfig.hostnameLabel":"Имя хоста SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Лучший способ строить с агентами","electron.onboarding.login.title":"Добро пожаловать в Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Продолжить","electron.onboarding.welcome.doubleLimits.description":"В честь запуска приложения Codex до 2 апреля действуют удвоенные лимиты использования.","electron.onboarding.welcome.freego.description":"Доступ к Codex включен в ваш тарифный план бесплатно до 2 марта — давайте создадим что-нибудь вместе.","electron.onboarding.welcome.new.title.anon":"Добро пожаловать!","electron.onboarding.workspace.continue":"Продолжить","electron.onboarding.workspace.empty":"Добавьте проект чтобы продолжить","electron.onboarding.workspace.listLabel":"Доступные проекты","electron.onboarding.workspace.loading":"Загрузка проектов…","electron.onboarding.workspace.openFolder":"Добавить проект","electron.onboarding.workspace.selectAll":"Выбрать все","electron.onboarding.workspace.skip":"Пропустить","electron.onboarding.workspace.skip.error":"Не удалось создать новый проект: {message}","electron.onboarding.workspace.skip.error.unknown":"Неизвестная ошибка","electron.onboarding.workspace.skipping":"Создание нового проекта…","electron.onboarding.workspace.subtitle":"Codex сможет редактировать файлы и выполнять команды в выбранных папках.","electron.onboarding.workspace.title":"Выбрать проект","errorPage.list.checkSettings":"Попробуйте обновить настройки IDE","errorPage.list.configToml":"Проверьте свой config.toml на наличие недопустимых настроек","errorPage.list.downloadExtension":"Попробуйте скачать другую версию расширения","errorPage.list.runInWsl":"Проверьте свои настройки, чтобы отключить работу в WSL, если вы видите проблемы совместимости.","execApprovalRequest.menu.runAlways":"Да, и больше не задавать этот вопрос в текущем сеансе","execApprovalRequest.menu.runAlwaysWithAmendment":"Да, и больше не спрашивайте о командах, которые начинаются с {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Да, и больше не спрашивайте о командах, которые начинаются с","execApprovalRequest.menu.runOnce":"Да","execApprovalRequest.prompt":"Вы хотите выполнить эту команду?","execApprovalRequest.reject":"Нет","execFooter.exitCode":"Код выхода {code}","execFooter.exitCode.unknown":"неизвестный","execFooter.success":"Успех","feedback.dialog.category.badResult":"Плохой результат","feedback.dialog.category.bug":"Ошибка","feedback.dialog.category.goodResult":"Хороший результат","feedback.dialog.category.other":"Другое","feedback.dialog.descriptionPlaceholder":"Опишите проблему здесь","feedback.dialog.dismiss":"Удалить","feedback.dialog.includeLogsLabel":"Включить текущие журналы сеансов Codex","feedback.dialog.submit":"Отправить","feedback.dialog.submitError":"Мы не смогли отправить ваш отзыв. Повторите попытку через минуту.","feedback.dialog.title":"Отзыв","feedback.dialog.uploadedMessage.existingIssue":"существующая открытая проблема","feedback.dialog.uploadedMessage.openIssue":"открыть заявку на GitHub","feedback.dialog.uploadedMessage.withThread":"Отзыв отправлен. Если проблема сохранится, {openIssueLink} или укажите идентификатор темы в {existingIssueLink}.","feedback.dialog.uploadedTitle":"Отзыв загружен","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Удалить {filename}","header.back":"Назад","header.recentChats":"Задачи","header.recentTasks.seeAll":"Просмотреть все ({total})","home.header.getPlus":"Перейти на Plus","home.hero.letsBuild":"Давайте построим","homePage.mainContent":"Основное содержание","imageAttachment.defaultName":"изображение","imageAttachment.preview.close":"Закрыть предварительный просмотр изображения","imageAttachment.removeAriaLabel":"Удалить {filename}","implementPlanRequest.option.implement":"Да, реализовать этот план","implementPlanRequest.prompt":"Реализовать этот план?","inbox.archived.deleteError":"Не удалось удалить заархивированный запуск","inbox.archived.deleteRun":"Удалить заархивированный запуск","inbox.archived.deleteSuccess":"Удалена архивная ветка обсуждения. Просмотреть можно в разделе <settingsLink>Архивные ветки</settingsLink>.","inbox.archived.inlineLabel.auto":"Эта беседа была автоматически заархивирована. <learnMoreLink>Узнать больше</learnMoreLink>","inbox.archived.inlineLabel.manual":"Эта беседа была заархивирована.","inbox.archived.noMessageFound":"Сообщение не найдено","inbox.automations.createError":"Не удалось создать автоматизацию","inbox.automations.deleteConfirm.cancel":"Отменить","inbox.automations.deleteConfirm.confirm":"Удалить автоматизацию","inbox.automations.deleteConfirm.description":"Это приведет к окончательному удалению автоматизированного процесса и прекращению всех будущих запусков.","inbox.automations.deleteConfirm.title":"Удалить {name}?","inbox.automations.deleteError":"Не удалось удалить автоматизацию","inbox.automations.editTooltip":"Редактировать автоматизацию","inbox.automations.inProgress":"Выполняется","inbox.automations.new":"Новый","inbox.automations.newToolbar":"Новая автоматизация","inbox.automations.pauseTooltip":"Приостановить автоматизацию","inbox.automations.resumeTooltip":"Возобновить автоматизацию","inbox.automations.startingNow":"Начиная с этого момента","inbox.automations.startsIn":"Начало в {startTime}","inbox.automations.status.active":"Активно","inbox.automations.status.paused":"Приостановлено","inbox.automations.status.runs":"Запуски: {count}","inbox.automations.status.started":"Начато: {date}","inbox.automations.updateError":"Не удалось обновить автоматизацию","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Все","inbox.filter.ariaLabel":"Фильтровать элементы папки «Входящие»","inbox.filter.unread":"Непрочитано","inbox.list.archived":"Заархивировано","inbox.list.inProgress":"Выполняется","inbox.list.recent":"Завершено","inbox.list.upNext":"Запланировано","inbox.mode.automations":"Автоматизации","inbox.mode.automations.beta":"Бета","inbox.noDescription":"Описание не предоставлено","inbox.openThread":"Открыть беседу","inbox.rightPanel.emptySubtitle":"Автоматизируйте рабочие процессы, настроив выполнение задач по расписанию","inbox.rightPanel.emptySubtitle.learnMore":"Автоматизируйте рабочие процессы, настроив выполнение задач по расписанию. <link>Узнать больше</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# активная автоматизация} few {# активные автоматизации} many {# активных автоматизаций} other {# активные автоматизации}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Нет непрочитанных автоматизаций","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# непрочитанная автоматизация} few {# непрочитанные автоматизации} many {# непрочитанных автоматизаций} other {# непрочитанные автоматизации}}","inbox.rightPanel.emptyTitle":"Ни один элемент не выбран","inbox.rightPanel.noThread":"Для этого элемента нет отдельной беседы","inbox.rightPanel.quickStart.header":"Начать с шаблона","inbox.untitled":"Элемент папки «Входящие» без названия","loadingPage.documentationLink":"документация","loadingPage.errorDescription":"Codex аварийно завершился со следующей ошибкой:","loadingPage.errorDescription.documentation":"Нажмите «Обновить», чтобы перезапустить расширение Codex, или посетите наш {documentationLink} для получения дополнительной помощи.","loadingPage.errorSignal":"Некоторые вещи, которые стоит попробовать:","loadingPage.errorTitle":"Произошла ошибка","loadingPage.openConfigToml":"Открыть Config.toml","loadingPage.reload":"Перезагрузить","localConversation.contextCompacted":"Контекст автоматически сжат","localConversation.contextCompacting":"Автоматическое сжатие контекста","localConversation.forkedFromConversation":"Разветвлено из {threadTitle}","localConversation.merge.autoResolve.failed":"Не удалось выполнить запрос на автоматическое разрешение проблемы: {error}","localConversation.merge.autoResolve.sent":"Запрос на автоматическое разрешение отправлен","localConversation.merge.autoResolveMerge.missingConversation":"Автоматическое решение проблемы невозможно без активного обсуждения.","localConversation.merge.autoResolveMerge.request":"Автоматически разрешить конфликты слияния","localConversation.modelChanged":"Модель изменена с {fromModel} на {toModel}.","localConversation.modelChanged.warning.line1":"Изменение модели во время обсуждения приведет к снижению производительности.","localConversation.modelChanged.warning.line2":"Контекст может быть автоматически сжат.","localConversation.moveThread.createBranch.label":"Создать ветку","localConversation.moveToLocal.disabled.loading":"Загрузка…","localConversation.moveToLocal.modal.continue":"Продолжить","localConversation.moveToLocal.modal.destinationLabel":"Передвинуть в","localConversation.moveToLocal.modal.retry":"Повторить","localConversation.moveToWorktree.modal.back":"Назад","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Ветка уже существует.","localConversation.moveToWorktree.modal.branchesError":"Невозможно загрузить ветки","localConversation.moveToWorktree.modal.branchesLoading":"Загрузка веток…","localConversation.moveToWorktree.modal.branchesRetry":"Повторить","localConversation.moveToWorktree.modal.continue":"Продолжить","localConversation.moveToWorktree.modal.retry":"Повторить","localConversation.moveToWorktree.modal.trailingSlashError":"Название ветки не может заканчиваться символом /","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"Переключился на личность {personality}","localConversation.planSummary.collapse":"Свернуть сводные данные плана","localConversation.planSummary.collapseTooltip":"Свернуть","localConversation.planSummary.download":"Скачать план","localConversation.planSummary.expand":"Развернуть сводные данные плана","localConversation.planSummary.expandTooltip":"Развернуть","localConversation.planSummary.openInNewWindow":"Открыть","localConversation.planSummary.openInNewWindow.tooltip":"Открыть в новом окне","localConversation.planSummary.title":"План","localConversation.planSummary.titleWriting":"План написания","localConversation.planSummary.viewPlan":"Развернуть план","localConversation.remoteTaskCreated":"Создано {taskLink} в облаке Codex","localConversation.remoteTaskCreated.task":"задача","localConversation.scrollToBottomButton":"Прокрутить вниз","localConversation.sync.buttonLabel":"Передать в локальный","localConversation.sync.buttonLabel.tooltip":"Передавайте изменения между этим рабочим деревом и местным оформлением заказа.","localConversation.sync.modal.loading.title":"Передача изменений…","localConversation.sync.modal.noChanges":"Никаких изменений","localConversation.syncSetup.branchAriaLabel":"Имя ветки","localConversation.syncSetup.branchName":"Имя ветки","localConversation.syncSetup.branchPlaceholder.existing":"Выбрать существующую ветку","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Загрузка веток…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Уже используется","localConversation.syncSetup.checkoutClean":"Активная ветка: {branchName}","localConversation.syncSetup.checkoutDirty":"В настоящее время находится в ветке {branchName} с незафиксированными изменениями.","localConversation.syncSetup.checkoutError":"Не удалось переключиться на ветку: {message}","localConversation.syncSetup.checkoutLabel":"Переключиться локально сейчас","localConversation.syncSetup.checkoutOnLocal":"Передать в локальный","localConversation.syncSetup.checkoutPending":"Проверка локального статуса…","localConversation.syncSetup.checkoutUnavailable":"Локальная рабочая область недоступна","localConversation.syncSetup.checkoutUnknown":"Локальная ветка недоступна","localConversation.syncSetup.continue":"Продолжить","localConversation.syncSetup.createBranchError":"Не удалось установить ветку передачи: {message}","localConversation.syncSetup.error":"Что-то пошло не так: {message}","localConversation.syncSetup.error.workingTreeMissing":"Не удалось создать снимок рабочего дерева. Повторите попытку передачи.","localConversation.syncSetup.mode.ariaLabel":"Выбрать режим ветки","localConversation.syncSetup.mode.existing":"Существующая ветка","localConversation.syncSetup.mode.new":"Новая ветка","localConversation.syncSetup.noBranches":"Ветки не найдены","localConversation.syncSetup.overwriteError":"Ветка создана, но передача еще не завершена. Перед локальным клонированием выполните передачу вручную.","localConversation.syncSetup.setPrefix":"Настроить префикс","localConversation.syncSetup.subtitle":"Тестируйте и редактируйте изменения в рабочем каталоге локально. <a>Узнать больше</a>","localConversation.syncSetup.success.checkedOut":"Ветка создана и переключена на локальную","localConversation.syncSetup.success.notCheckedOut":"Ветка создана","localConversation.syncSetup.title":"Передать в локальную ветку","localConversation.syncWorktreeError.branchAriaLabel":"Имя ветки","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Выберите ветку для передачи, а затем повторите попытку загрузки изменений.","localConversation.syncWorktreeError.branchSetup.title":"Обновить ветку","localConversation.syncWorktreeError.branchUpdate.cta":"Обновите и повторите попытку.","localConversation.syncWorktreeError.branchUpdate.error":"Не удалось обновить ветку: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Что-то пошло не так: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Эта ветка не выбрана ни в одном рабочем дереве.","localConversation.syncWorktreeV2.applyUncommitted":"Применить","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Вам необходимо переключить ветку на локальную, чтобы применить незафиксированные изменения","localConversation.syncWorktreeV2.branches.empty":"Ветки не найдены","localConversation.syncWorktreeV2.branches.loading":"Загрузка веток…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Изменить ветку для передачи","localConversation.syncWorktreeV2.changeBranch.error":"Не удалось изменить ветку для передачи: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Применение не удалось","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Перезапись рабочего дерева не удалась","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Локальная перезапись не удалась","localConversation.syncWorktreeV2.commandError.back":"Назад","localConversation.syncWorktreeV2.commandError.body":"Во время передачи произошла ошибка при выполнении команды git. Просмотрите вывод и повторите попытку.","localConversation.syncWorktreeV2.commandError.retry":"Повторить","localConversation.syncWorktreeV2.description":"Передача изменений между локальной версией и этим рабочим деревом. <a>Узнать больше</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Выберите направление передачи","localConversation.syncWorktreeV2.error.generic":"Во время передачи произошла ошибка. Повторите попытку.","localConversation.syncWorktreeV2.localBranchLabel":"Локально","localConversation.syncWorktreeV2.noChanges":"Расчет изменений","localConversation.syncWorktreeV2.noChanges.summary":"Никаких изменений","localConversation.syncWorktreeV2.overwrite.local":"Перезаписать локально","localConversation.syncWorktreeV2.overwrite.worktree":"Перезаписать рабочее дерево","localConversation.syncWorktreeV2.partial.action.applyFailed":"Не удалось применить изменения","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Не удалось перезаписать локальные изменения","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Не удалось перезаписать изменения рабочего дерева","localConversation.syncWorktreeV2.partial.appliedLabel":"Применено","localConversation.syncWorktreeV2.partial.back":"Назад","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Устраните конфликты и попробуйте снова.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Конфликты","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# файл} few {# файла} many {# файлов} other {# файла}}","localConversation.syncWorktreeV2.partial.retry":"Повторить","localConversation.syncWorktreeV2.partial.skippedLabel":"Пропущено","localConversation.syncWorktreeV2.stateFailed.generic":"При получении изменений рабочего дерева для передачи произошла ошибка. Попробуйте еще раз.","localConversation.syncWorktreeV2.stateFailed.title":"Не удалось загрузить изменения в рабочем дереве","localConversation.syncWorktreeV2.statusError.diffUnknown":"Не удалось загрузить изменения в рабочем дереве.","localConversation.syncWorktreeV2.statusError.retry":"Повторить","localConversation.syncWorktreeV2.statusError.title":"Не удалось загрузить изменения локальной ветки","localConversation.syncWorktreeV2.statusError.unknown":"Информация о статусе ветки в данный момент недоступна. Повторите попытку позже.","localConversation.syncWorktreeV2.success.apply":"Изменения успешно применены","localConversation.syncWorktreeV2.success.overwrite":"Передача удалась","localConversation.syncWorktreeV2.title":"Передача изменений","localConversation.syncWorktreeV2.worktreeLabel":"Рабочее дерево","localConversation.userInputRequest.inProgress":"Спрашивает {count, plural, one {вопрос} few {вопроса} many {вопросов} other {вопроса}}","localConversation.userInputRequest.noAnswer":"Ответ не предоставлен","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Спросил","localConversation.userInputRequest.summary.count":"{count, plural, one {# вопрос} few {# вопроса} many {# вопросов} other {# вопроса}}","localConversation.workedFor":"Работал на протяжении {time}","localConversation.worktreeBranchSetup.action.create":"Создать","localConversation.worktreeBranchSetup.branchAriaLabel":"Имя ветки","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Создать новую ветку","localConversation.worktreeBranchSetup.checkoutDisabled":"Эта ветка уже выбрана в {location}","localConversation.worktreeBranchSetup.checkoutError":"Не удалось переключиться на ветку: {message}","localConversation.worktreeBranchSetup.createBranchError":"Не удалось установить ветку: {message}","localConversation.worktreeBranchSetup.error":"Что-то пошло не так: {message}","localConversation.worktreeBranchSetup.subtitle":"Создайте ветку для фиксации изменений, отправьте их в удаленный репозиторий и создайте запрос на включение из этой рабочей области. <a>Узнать больше.</a>","localConversation.worktreeBranchSetup.title":"Работайте здесь","localConversationPage.addWorktreeToSidebar.tooltip":"Сохраните как проект, чтобы иметь возможность создавать новые ветки из этого рабочего дерева","localConversationPage.addWorktreeToSidebarError":"Не удалось добавить проект","localConversationPage.commitAndCreatePrModal.errorTitle":"Не удалось зафиксировать изменения и создать запрос на включение","localConversationPage.commitAndCreatePrModal.successTitle":"Зафиксирован и создан запрос на включение","localConversationPage.commitAndPushModal.errorTitle":"Фиксация и отправка изменений не удались","localConversationPage.commitAndPushModal.successTitle":"Изменения зафиксированы и отправлены","localConversationPage.commitCreatePr.open":"Открыть запрос на включение","localConversationPage.commitCreatePr.successTitle":"Создан запрос на включение с вашими последними изменениями","localConversationPage.createBranchButtonLabel":"Ветка находится здесь","localConversationPage.createPrModal.baseBranch":"Основа","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Создать PR","localConversationPage.createPrModal.createDescription":"Создайте запрос на включение для ваших последних изменений.","localConversationPage.createPrModal.errorTitle":"Запрос на включение не выполнен","localConversationPage.createPrModal.headBranch":"Заголовок","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Открыть PR","localConversationPage.createPrModal.successTitle":"Запрос на включение создан","localConversationPage.createPrModal.title":"Создать запрос на включение","localConversationPage.createPrModal.viewDescription":"Для этой ветки уже существует запрос на включение.","localConversationPage.createPrModal.viewTitle":"Запрос на включение готов","localConversationPage.createPullRequestAuthGh":"Пройдите аутентификацию в GitHub CLI: выполните команду `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Информация о ветке недоступна","localConversationPage.createPullRequestButtonLabel":"Создать PR","localConversationPage.createPullRequestButtonLabel.loading":"Создание PR","localConversationPage.createPullRequestDefaultBranchMissing":"Информация о ветке по умолчанию недоступна","localConversationPage.createPullRequestError":"Не удалось создать запрос на включение","localConversationPage.createPullRequestExistingPullRequest":"Для этой ветки уже существует запрос на включение","localConversationPage.createPullRequestGhStatusMissing":"Загрузка статуса GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Установите GitHub CLI (gh) для создания запросов на включение","localConversationPage.createPullRequestNoRepo":"Репозиторий git не найден","localConversationPage.createPullRequestPushStatusMissing":"Загрузка статуса отправки…","localConversationPage.createPullRequestSetUpstream":"Перед созданием запроса на включение отправьте эту ветку в удаленный репозиторий","localConversationPage.createPullRequestSuccessToast":"Запрос на включение создан","localConversationPage.createPullRequestSwitchBranch":"Перед созданием запроса на включение переключитесь на соответствующую ветку разработки","localConversationPage.error.render":"Ошибка рендеринга локального разговора","localConversationPage.error.toast":"Обсуждение не найдено","localConversationPage.forcePushError":"Не удалось выполнить принудительную отправку","localConversationPage.generatePullRequestMessageError":"Не удалось сгенерировать заголовок и текст запроса на включение","localConversationPage.generatePullRequestMessageFailed":"Не удалось сгенерировать заголовок и текст запроса на включение.","localConversationPage.gitActionResult.branch":"Ветка","localConversationPage.gitActionResult.cancel":"Отменить","localConversationPage.gitActionResult.close":"Закрыть","localConversationPage.gitActionResult.tryAgain":"Попробуйте еще раз","localConversationPage.gitActions":"Действия Git","localConversationPage.newChat":"Новый чат","localConversationPage.openInTarget":"Открыть в","localConversationPage.openPrimaryTarget":"Открыть","localConversationPage.planItemsCompleted":"{completedItems} из {totalItems, plural, one {Выполнена # задача} few {Выполнены # задачи} many {Выполнены # задач} other {Выполнены # задачи}}","localConversationPage.pushAuthError":"Ошибка отправки: требуется многофакторная аутентификация","localConversationPage.pushBranchMissing":"Информация о ветке недоступна","localConversationPage.pushButtonLabel":"Push-уведомления","localConversationPage.pushButtonLabel.loading":"Отправка...","localConversationPage.pushError":"Не удалось отправить изменения","localConversationPage.pushModal.branchLabel":"Ветка","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Отменить","localConversationPage.pushModal.confirm":"Отправить","localConversationPage.pushModal.description":"Отправьте последние коммиты в удаленный репозиторий.","localConversationPage.pushModal.errorTitle":"Не удалось отправить","localConversationPage.pushModal.forcePush":"Принудительная отправка","localConversationPage.pushModal.successTitle":"Отправка выполнена","localConversationPage.pushModal.title":"Отправить изменения","localConversationPage.pushModal.tryAgain":"Попробуйте еще раз","localConversationPage.pushNoUpstream":"Перед отправкой изменений установите вышестоящую ветку для этой ветки","localConversationPage.pushNoUpstreamError":"Ошибка отправки: не настроена удаленная ветка","localConversationPage.pushNothingToPush":"Нет новых изменений для отправки","localConversationPage.pushRemoteChangedError":"Ошибка отправки: в удаленной ветке появились новые коммиты","localConversationPage.pushRemoteRejectedError":"Отправка отклонена удаленным сервером","localConversationPage.pushStatusMissing":"Загрузка статуса отправки…","localConversationPage.pushSuccessToast":"Отправленные изменения","localConversationPage.viewPullRequestButtonLabel":"Посмотреть PR","localConversationPage.viewPullRequestButtonLabel.loading":"Загрузка запроса на включение...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# файл} few {# файла} many {# файлов} other {# файла}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# список} few {# списка} many {# списков} other {# списка}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# поиск} few {# поисков} many {# поисков} other {# поисков}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Изучение","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Изучено","localConversationTurn.exploration.accordion.header.complete.withCounts":"Изучено {counts}","localConversationTurnStory.showContent":"Показать контент","localConversationTurnStory.streamContent":"Транслировать контент","localConversationTurnStory.toggleReasoning":"Показать рассуждение","localTaskRow.archiveError":"Не удалось заархивировать обсуждение","localTaskRow.resumeError":"Не удалось возобновить задачу","mermaidDiagram.ariaLabel":"Схема русалки","mermaidDiagram.copySource":"Скопировать Mermaid","mermaidDiagram.originalCode":"Исходный код русалки","notifications.permissions.description":"Показывать уведомления, когда требуются разрешения на отправку уведомлений","notifications.permissions.label":"Включить уведомления о разрешениях","notifications.turnMode.always":"Всегда","notifications.turnMode.description":"Задайте, когда Codex сообщает о завершении работы","notifications.turnMode.label":"Уведомления о завершении хода","notifications.turnMode.off":"Никогда","notifications.turnMode.unfocused":"Только в расфокусированном состоянии","patchApprovalRequest.approve":"Утвердить","patchApprovalRequest.menu.allowAlways":"Да, и больше не задавать этот вопрос в текущем сеансе","patchApprovalRequest.menu.allowForSession":"Да, и больше не задавать этот вопрос в текущем сеансе","patchApprovalRequest.menu.allowOnce":"Да","patchApprovalRequest.prompt":"Вы хотите внести эти изменения?","patchApprovalRequest.reject":"Нет","patchApprovalRequest.waitingForApproval":"Ожидание одобрения на редактирование файлов","pendingRequest.approvalExec.collapse":"Свернуть","pendingRequest.approvalExec.expand":"Развернуть","pendingRequestStory.toastAnswer":"Ответ: {answer}","pendingRequestStory.toastApprovalTitle":"Ответ с одобрением","pendingRequestStory.toastFollowupPrompt":"Подсказка: {prompt}","pendingRequestStory.toastFollowupTitle":"Сообщение отправлено","pendingRequestStory.toastNoAnswers":"Ответы не предоставлены","pendingRequestStory.toastQuestion":"Вопрос: {question}","pendingRequestStory.toastUnknownDecision":"Неизвестно","pendingRequestStory.toastUserInputTitle":"Представленные ответы","quickAction.request.codeReview.branches.new":"Пожалуйста, ознакомьтесь с изменениями {from} в отношении {to}","quickAction.request.codeReview.uncommitted.new":"Пожалуйста, просмотрите мои незафиксированные изменения","reasoningItem.thinking":"Думаю","reasoningItem.thought":"Думал","reasoningItem.thoughtWithElapsed":"Думал на протяжении {elapsed}","recentConversations.title":"Недавние обсуждения","recentTasks.worktreeInitFailedTitle":"Ошибка инициализации рабочего дерева","recentTasks.worktreeSettingUpTitle":"Настройка рабочего дерева","requestInputPanel.continue":"Продолжить","requestInputPanel.dismiss":"Скрыть","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Введите текст здесь","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Нет, и скажите Codex, что нужно сделать иначе","requestInputPanel.selectedBadge":"Выбрано","requestInputPanel.skip":"Пропустить","requestInputPanel.submit":"Отправить","review.commit.ariaLabel.includeUnstaged":"Включить незафиксированные","review.commit.buttonLabel":"Совершить","review.commit.disabled.committing":"Изменения фиксируются…","review.commit.disabled.loadingDiff":"Загрузка разницы…","review.commit.disabled.missingContext":"Добавить контекст, чтобы сгенерировать сообщение для фиксирования","review.commit.disabled.noChanges":"Нет изменений для фиксации","review.commit.disabled.noSelection":"Выберите изменения для фиксации","review.commit.disabled.unavailable":"В настоящее время функция фиксации изменений недоступна","review.commit.error":"Не удалось применить изменения","review.commit.form.changesToBeCommitted":"Изменения","review.commit.form.commitTo":"Ветка","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Продолжить","review.commit.form.title":"Зафиксировать внесенные изменения","review.commit.generate.emptyResponse":"Не удалось сгенерировать сообщение для фиксирования.","review.commit.generate.failed":"Не удалось сгенерировать сообщение для фиксирования: {error}","review.commit.generate.missingPrompt":"Добавьте контекст, чтобы сгенерировать сообщение для фиксирования.","review.commit.includeUnstaged":"Включить незафиксированные","review.commit.loading.description":"Подождите немного, это может занять несколько минут","review.commit.loading.step.commit.done":"Зафиксированные изменения","review.commit.loading.step.commit.pending":"Внесение изменений","review.commit.loading.step.createPr.done":"Создан запрос на включение","review.commit.loading.step.createPr.pending":"Создание запроса на включение","review.commit.loading.step.push.done":"Отправлено в ветку {branch}","review.commit.loading.step.push.pending":"Отправляется в ветку {branch}","review.commit.loading.title.commit":"Внесение изменений","review.commit.loading.title.createPr":"Создание запроса на включение","review.commit.loading.title.push":"Отправка изменений","review.commit.messageLabel":"Зафиксировать сообщение","review.commit.messagePlaceholder":"Оставьте поле пустым, чтобы сообщение о фиксировании было сгенерировано автоматически","review.commit.nextSteps":"Следующие шаги","review.commit.nextSteps.commit":"Зафиксировать","review.commit.nextSteps.commitAndCreate":"Зафиксировать и создать запрос на включение","review.commit.nextSteps.commitAndPush":"Зафиксировать и отправить","review.commit.nextSteps.prRequiresGh":"Требуется GitHub CLI: {command}","review.commit.rows.changes":"Изменения","review.commit.rows.commitCount":"{count, plural, one {# фиксирование} few {# фиксирования} many {# фиксирований} other {# фиксирования}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# фиксирование} few {# фиксирования} many {# фиксирований} other {# фиксирования}} и {stats}","review.commit.rows.fileCount":"{count, plural, one {# файл} few {Файлы: #} many {Файлы: #} other {Файлы: #}}","review.commit.state.error.body":"При выполнении операции фиксации произошла ошибка. Проверьте статус git и повторите попытку.","review.commit.state.error.title":"Фиксация изменений не удалась","review.commit.state.success.title":"Изменения зафиксированы","review.commit.untracked.loadingStats":"Загрузка статистики неотслеживаемых изменений…","reviewFindingAttachments.count":"{count, plural, one {# результат} few {# результата} many {# выводов} other {# вывода}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Отредактируйте файл конфигурации, чтобы настроить поведение агента","settings.agent.configuration.configToml.docs":"Документы","settings.agent.configuration.configToml.restartNote":"После внесения изменений перезапустите Codex, чтобы применить их","settings.agent.configuration.subtitle":"Эти настройки применяются везде, где используется Codex","settings.automations.banner.danger":"Автоматизированные процессы выполняются с использованием ваших настроек песочницы по умолчанию, которые в настоящее время установлены на полный доступ. Запуск фоновых автоматизированных процессов с полным доступом сопряжен с повышенным риском, поскольку Codex может изменять файлы, выполнять команды и получать доступ к сети без вашего разрешения. Рекомендуется обновить настройки песочницы до режима записи в рабочую область и использовать <rulesDocsLink>правила</rulesDocsLink> для выборочного определения того, какие команды агент может выполнять с полным доступом.","settings.automations.banner.defaultHowTo.default":"Автоматизированные процессы выполняются с использованием стандартных настроек изолированной среды. Вызовы инструментов завершатся ошибкой, если для их работы потребуется изменение файлов за пределами рабочей области, доступ к сети или взаимодействие с приложениями на вашем компьютере. Вы можете выборочно разрешить выполнение команд за пределами изолированной среды, используя <rulesDocsLink>правила</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Автоматизированные процессы выполняются с использованием стандартных настроек изолированной среды, которые установлены в режим только для чтения. Вызовы инструментов завершатся ошибкой, если для их работы требуется изменение файлов, доступ к сети или взаимодействие с приложениями на вашем компьютере. Рекомендуется изменить настройки изолированной среды на режим записи в рабочую область.","settings.automations.cancel":"Отменить","settings.automations.create":"Создать","settings.automations.cwdEmpty":"Нет доступных папок проектов","settings.automations.cwdLabel":"Проекты","settings.automations.cwdPlaceholder":"Выберите папку","settings.automations.cwdSubtitle":"Если вы хотите, чтобы автоматизированный процесс выполнялся в определенной ветке, вы можете указать это в своем запросе.","settings.automations.delete":"Удалить","settings.automations.dialog.editTitle":"Редактировать автоматизацию","settings.automations.dialog.newTitle":"Новая автоматизация","settings.automations.dialog.subtitle":"Автоматизируйте повторяющиеся задачи в фоновом режиме. Codex добавляет результаты в папку входящих сообщений или автоматически архивирует задачу, если сообщать нечего. <learnMoreLink>Узнать больше</learnMoreLink>","settings.automations.dialog.title":"Создать автоматизацию","settings.automations.executionCopy.git":"Автоматизированные процессы выполняются в фоновом режиме на выделенных рабочих деревьях.","settings.automations.executionCopy.nonGit":"В проектах, не использующих систему контроля версий, автоматизированные процессы выполняются непосредственно в каталоге проекта. Рекомендуется использовать Git, чтобы обеспечить возможность выполнения процессов в фоновых рабочих деревьях.","settings.automations.executionEnvironment.local":"Местный","settings.automations.executionEnvironment.worktree":"Рабочее дерево","settings.automations.loading":"Загрузка…","settings.automations.nameLabel":"Имя","settings.automations.namePlaceholder":"Проверьте наличие проблем с системой мониторинга","settings.automations.pause":"Пауза","settings.automations.promptLabel":"Подсказка","settings.automations.promptPlaceholder":"искать сбои в $Sentry","settings.automations.resume":"Возобновить","settings.automations.rruleSummaryFallback":"Индивидуальное расписание","settings.automations.runNow":"Тест","settings.automations.save":"Сохранить","settings.automations.scheduleBadge.dayCount":"{count} д","settings.automations.scheduleBadge.interval":"{count} ч","settings.automations.scheduleBadge.weekdays":"Будние дни","settings.automations.scheduleBadge.weekends":"Выходные дни","settings.automations.scheduleHeader":"Расписание","settings.automations.scheduleHours":"часы","settings.automations.scheduleLabel":"Запускать каждый","settings.automations.scheduleMode.daily":"Ежедневно","settings.automations.scheduleMode.interval":"Интервал","settings.automations.scheduleModeLabel":"Тип расписания","settings.automations.scheduleSummary.daily":"Ежедневно в {time}","settings.automations.scheduleSummary.interval":"Каждые {count} ч","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# день} few {# дня} many {# дня} other {# дня}}","settings.automations.scheduleSummary.intervalDays":"{interval} в {days}","settings.automations.scheduleSummary.intervalHourly":"Ежечасно","settings.automations.scheduleSummary.singleDay":"{day} в {time}","settings.automations.scheduleSummary.weekdays":"В будние дни в {time}","settings.automations.scheduleSummary.weekdaysLabel":"будние дни","settings.automations.scheduleSummary.weekends":"В выходные дни в {time}","settings.automations.scheduleSummary.weekendsLabel":"выходные дни","settings.automations.scheduleSummary.weekly":"{days} в {time}","settings.automations.scheduleWeekdays":"Включено","settings.automations.weekdayState.excluded":"Исключено","settings.automations.weekdayState.included":"Включено","settings.conversationDetail.steps":"Шаги","settings.conversationDetail.steps.description":"Скрыть команды и результаты выполнения","settings.conversationDetail.stepsWithCommands":"Шаги с использованием команд кода","settings.conversationDetail.stepsWithCommands.description":"Показать команды, свернуть вывод","settings.conversationDetail.stepsWithOutput":"Шаги с выводом кода","settings.conversationDetail.stepsWithOutput.description":"Показать команды и развернуть вывод","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Нет архивированных чатов.","settings.dataControls.archivedChats.error":"Не удалось загрузить архивные чаты.","settings.dataControls.archivedChats.loading":"Загрузка архивных чатов…","settings.dataControls.archivedChats.unarchive":"Разархивировать","settings.dataControls.archivedChats.unarchiveError":"Не удалось разархивировать чат","settings.dataControls.archivedChats.unarchiveSuccess":"Беседа восстановлена ​​из архива. <viewNowLink>Просмотреть сейчас</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Беседа не заархивирована.","settings.dataControls.archivedChats.untitled":"Безымянный чат","settings.dataControls.archivedChats.viewNow":"Посмотреть сейчас","settings.editRow.headerPlaceholder":"Ключ","settings.editRow.removeEntry":"Удалить запись","settings.editRow.valuePlaceholder":"Значение","settings.general.appearance":"Внешний вид","settings.general.appearance.codeFont":"Шрифт кода","settings.general.appearance.codeFont.description":"Настройте шрифт и размер текста, используемого для отображения кода в чатах и ​​при сравнении версий","settings.general.appearance.codeFontFamily":"Семейство шрифтов для кода","settings.general.appearance.codeFontSize":"Размер шрифта кода","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Настройте окна так, чтобы в них использовался сплошной фон вместо системной прозрачности","settings.general.appearance.opaqueWindows.label":"Использовать непрозрачный фон окна","settings.general.appearance.sansFontFamily":"Семейство шрифтов Sans","settings.general.appearance.sansFontFamily.description":"Настройте шрифт, используемый в пользовательском интерфейсе Codex","settings.general.appearance.sansFontSize":"Размер шрифта Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Показывать полноэкранные эффекты празднования, пока GPT-5.3-Codex-Spark выполняет первый ход","settings.general.appearance.sparkCelebrationEffects.label":"Праздничные эффекты Spark","settings.general.appearance.theme":"Тема","settings.general.appearance.theme.dark":"Темный","settings.general.appearance.theme.description":"Используйте светлую, темную тему или выберите тему, соответствующую настройкам вашей системы","settings.general.appearance.theme.light":"Светлый","settings.general.appearance.theme.system":"Системный","settings.general.appearance.usePointerCursors.description":"Измените курсор на указатель при наведении на интерактивные элементы","settings.general.appearance.usePointerCursors.label":"Используйте курсоры-указатели","settings.general.enterBehavior.description":"При включении этой функции для отправки многострочных запросов необходимо нажать {modifierSymbol} + Enter.","settings.general.enterBehavior.label":"Для отправки длинных запросов необходимо нажать {modifierSymbol} + Enter","settings.general.experimentalFeatures":"Экспериментальные функции (бета)","settings.general.experimentalFeatures.empty":"Нет доступных бета-экспериментальных функций.","settings.general.experimentalFeatures.loading":"Загрузка экспериментальных функций...","settings.general.experimentalFeatures.restartNote":"Перезапустите Codex, чтобы применить экспериментальные изменения функций","settings.general.experimentalFeatures.toggle":"Переключить {featureName}","settings.general.followUpQueueMode.description":"Поставьте запросы на обработку в очередь, пока работает Codex, или управляйте текущим процессом. Нажмите {invertFollowUpShortcutLabel} , чтобы выполнить противоположное действие для одного сообщения.","settings.general.followUpQueueMode.interrupt":"Управление","settings.general.followUpQueueMode.label":"Последующее поведение","settings.general.followUpQueueMode.queue":"Очередь","settings.general.notifications":"Уведомления","settings.general.power.preventSleepWhileRunning.description":"Не позволяет компьютеру переходить в спящий режим, пока Codex выполняет задачу.","settings.general.power.preventSleepWhileRunning.label":"Не допускать засыпания во время работы","settings.git.branchPrefix.ariaLabel":"Префикс ветки","settings.git.branchPrefix.description":"Префикс, используемый при создании новых веток в Codex","settings.git.branchPrefix.label":"Префикс ветки","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Не удалось сохранить префикс ветки","settings.git.branchPrefix.save.success":"Сохраненный префикс ветки","settings.git.commitInstructions.ariaLabel":"Инструкции для фиксирования","settings.git.commitInstructions.description":"Добавлено в подсказки для генерации сообщений фиксирований","settings.git.commitInstructions.label":"Инструкции для фиксирования","settings.git.commitInstructions.placeholder":"Добавьте рекомендации по написанию сообщений фиксирований...","settings.git.commitInstructions.save":"Сохранить","settings.git.commitInstructions.save.error":"Не удалось сохранить инструкции по фиксированиям","settings.git.commitInstructions.save.success":"Сохранены инструкции по фиксированиям","settings.git.forcePush.ariaLabel":"Всегда выполнять принудительную отправку изменений","settings.git.forcePush.description":"Используйте --force-with-lease при отправке изменений из Codex","settings.git.forcePush.label":"Всегда выполнять принудительную отправку изменений","settings.git.forcePush.save.disabled":"Принудительная отправка изменений всегда отключена","settings.git.forcePush.save.enabled":"Принудительная отправка изменений всегда включена","settings.git.forcePush.save.error":"Не удалось сохранить настройку принудительной отправки изменений","settings.git.prInstructions.ariaLabel":"Инструкции по созданию запроса на включение","settings.git.prInstructions.description":"Добавляется к текстам запросов на включение, созданных с помощью Codex","settings.git.prInstructions.label":"Инструкции по созданию запроса на включение","settings.git.prInstructions.placeholder":"Добавьте рекомендации по созданию запросов на включение...","settings.git.prInstructions.save":"Сохранить","settings.git.prInstructions.save.error":"Не удалось сохранить инструкции по созданию запроса на включение","settings.git.prInstructions.save.success":"Сохраненные инструкции по запросу на включение","settings.ide.defaultOpenTarget.description":"Где по умолчанию открываются файлы и папки","settings.ide.defaultOpenTarget.label":"Место назначения, открываемое по умолчанию","settings.ide.defaultOpenTarget.placeholder":"Цели не найдены","settings.ide.language.auto":"Автоматически определять","settings.ide.language.autoOption":"Автоматически определять","settings.ide.language.description":"Язык пользовательского интерфейса приложения","settings.ide.language.label":"Язык","settings.ide.language.search":"Поиск языков","settings.layout.actionButton":"Перезапустить расширение","settings.layout.actionTitle":"Настройки с возможностью выполнения действий","settings.layout.fullWidthTitle":"Настройки (полная ширина)","settings.layout.title":"Настройки","settings.localEnvironments.actions.add":"Добавить действие","settings.localEnvironments.actions.add.description":"Создайте новую команду, которую можно будет запускать с панели инструментов.","settings.localEnvironments.actions.add.save":"Сохранить","settings.localEnvironments.actions.empty":"Добавьте действие для выполнения команд с локальной панели инструментов.","settings.localEnvironments.actions.icon.debug":"Отладить","settings.localEnvironments.actions.icon.run":"Запустить","settings.localEnvironments.actions.icon.test":"Тест","settings.localEnvironments.actions.icon.tool":"Инструмент","settings.localEnvironments.actions.item.button.delete":"Удалить","settings.localEnvironments.actions.item.command":"Сценарий действий","settings.localEnvironments.actions.item.name":"Имя","settings.localEnvironments.actions.item.platforms":"Платформы","settings.localEnvironments.actions.item.platforms.help":"Работает только на определенной операционной системе.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Выбор платформы","settings.localEnvironments.actions.item.platforms.specific":"Для определенной платформы","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Удалить","settings.localEnvironments.actions.title":"Действия","settings.localEnvironments.breadcrumb.back":"Назад","settings.localEnvironments.breadcrumb.edit":"редактировать","settings.localEnvironments.breadcrumb.root":"Окружения","settings.localEnvironments.environment.actions.description":"Эти действия могут выполнять любые команды и будут отображаться в заголовке.","settings.localEnvironments.environment.actionsLabel":"Действия","settings.localEnvironments.environment.create":"Создать местное окружение","settings.localEnvironments.environment.defaultName":"местный","settings.localEnvironments.environment.edit":"Редактировать местное окружение","settings.localEnvironments.environment.empty":"Для этого проекта пока не настроено локальное окружение.","settings.localEnvironments.environment.name":"Имя","settings.localEnvironments.environment.setup":"Скрипт установки","settings.localEnvironments.environment.setup.description":"Этот скрипт будет выполняться при создании рабочего дерева.","settings.localEnvironments.environment.setup.hint":"Выполняется в корневой папке проекта.","settings.localEnvironments.environment.setup.platformOverrides":"Переопределения платформы","settings.localEnvironments.environment.setup.platformOverrides.add":"Добавить {platform} скрипт установки","settings.localEnvironments.environment.setup.platformOverrides.description":"Переопределяет стандартный скрипт для определенных операционных систем.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Удалить","settings.localEnvironments.environment.setup.script":"Скрипт","settings.localEnvironments.environment.title":"Подробности окружения","settings.localEnvironments.file.missing":"Сохраните, чтобы создать этот файл в первый раз.","settings.localEnvironments.file.parseError":"Не удалось проанализировать существующий файл. Сохранение перезапишет его. ({error})","settings.localEnvironments.file.path":"{path} файл","settings.localEnvironments.file.readError":"Не удалось загрузить данные местного окружения. ({error})","settings.localEnvironments.file.title":"Файл местного окружения","settings.localEnvironments.loading.body":"Получение конфигурации вашего проекта.","settings.localEnvironments.loading.title":"Загрузка местных окружений","settings.localEnvironments.preview.devOnly":"(Только для разработчиков)","settings.localEnvironments.preview.save":"Сохранить","settings.localEnvironments.preview.saveError":"Не удалось сохранить файл. ({error})","settings.localEnvironments.preview.title":"Предварительный просмотр","settings.localEnvironments.save.disabled.name":"Добавьте имя окружения для сохранения.","settings.localEnvironments.save.disabled.noChanges":"Нет изменений для сохранения.","settings.localEnvironments.save.disabled.saving":"Сохранение…","settings.localEnvironments.save.success":"Сохранено местное окружение","settings.localEnvironments.unavailable.body":"Не удалось загрузить настройки локального окружения для этого проекта.","settings.localEnvironments.unavailable.title":"Местные окружения недоступны","settings.localEnvironments.workspace.add":"Добавить проект","settings.localEnvironments.workspace.title":"Проект","settings.localEnvironments.workspaceSelect.addLabel":"Добавить окружение","settings.localEnvironments.workspaceSelect.description":"Локальные окружения определяют, как Codex должен настраивать рабочие каталоги для проекта. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Проекты пока отсутствуют. Добавьте рабочую область, чтобы настроить локальные окружения.","settings.localEnvironments.workspaceSelect.errorLabel":"Окружение нуждается во внимании","settings.localEnvironments.workspaceSelect.learnMore":"Узнать больше","settings.localEnvironments.workspaceSelect.listLabel":"Доступные проекты","settings.localEnvironments.workspaceSelect.loading":"Загрузка проектов.","settings.localEnvironments.workspaceSelect.loadingLabel":"Загрузка окружения","settings.localEnvironments.workspaceSelect.title":"Выбрать проект","settings.localEnvironments.workspaceSelect.viewAction":"Просмотр","settings.mcp.addServer":"Добавить сервер","settings.mcp.app.configure":"Конфигурация","settings.mcp.app.connect":"Подключить","settings.mcp.apps.refresh":"Обновить","settings.mcp.detail.addArgument":"Добавить аргумент","settings.mcp.detail.addEnvVar":"Добавить переменную окружения","settings.mcp.detail.addEnvVarPassthrough":"Добавить переменную","settings.mcp.detail.args":"Аргументы","settings.mcp.detail.back":"Назад","settings.mcp.detail.command":"Команда на запуск","settings.mcp.detail.cwd":"Рабочая директория","settings.mcp.detail.docs":"Открыть документацию MCP","settings.mcp.detail.docs.link":"Документы","settings.mcp.detail.envVarPassthrough":"Передача переменных окружения","settings.mcp.detail.envVars":"Переменные окружения","settings.mcp.detail.http.addEnvHeader":"Добавить переменную","settings.mcp.detail.http.addHeader":"Добавить заголовок","settings.mcp.detail.http.bearerToken":"Переменная окружения токена Bearer","settings.mcp.detail.http.envHeaders":"Заголовки из переменных окружения","settings.mcp.detail.http.headers":"Заголовки","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Имя","settings.mcp.detail.save":"Сохранить","settings.mcp.detail.switchTransportNotice":"Если вы хотите сменить тип сервера MCP, сначала удалите текущую версию.","settings.mcp.detail.titleExisting":"Обновление {name} MCP","settings.mcp.detail.titleNew":"Подключиться к пользовательскому MCP","settings.mcp.detail.transport.http":"Потоковая передача HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Удалить","settings.mcp.empty":"Пользовательские MCP-серверы не подключены","settings.mcp.myServers":"Пользовательские серверы","settings.mcp.partnerServer.description.figma":"Создавайте более качественный код, используя полный контекст из Figma","settings.mcp.partnerServer.description.github":"Интегрируйте с API GitHub для автоматизации рабочих процессов и извлечения данных","settings.mcp.partnerServer.description.linear":"Интеграция с системой отслеживания задач и управления проектами Linear","settings.mcp.partnerServer.description.notion":"Читайте документацию, обновляйте страницы, управляйте задачами","settings.mcp.partnerServer.description.playwright":"Используйте автоматизацию браузера для разработки и тестирования пользовательского интерфейса.","settings.mcp.partnerServer.install":"Установить","settings.mcp.partnerServer.installAndAuthenticate":"Установить и пройти аутентификацию","settings.mcp.partnerServer.logoAlt":"Логотип {label}","settings.mcp.partnerServer.manage":"Управление","settings.mcp.partnerServer.vendor":"по {vendor}","settings.mcp.recommendedServers":"Рекомендуемые серверы","settings.mcp.restartApp":"Перезапустить","settings.mcp.restartExtension":"Перезапустить расширение","settings.mcp.server.enable":"Включить","settings.mcp.server.login":"Аутентифицировать","settings.mcp.server.settings":"Настройки","settings.multiselect.createOption":"Создать «{value}»","settings.multiselect.removeOption":"Удалить","settings.nav.account":"Учетная запись","settings.nav.agent":"Конфигурация","settings.nav.ariaLabel":"Настройки","settings.nav.back":"Вернуться в приложение","settings.nav.data-controls":"Архивированные беседы","settings.nav.environments":"Облачное окружение","settings.nav.externalTooltip":"[альфа] Открывается в браузере","settings.nav.general-settings":"Общее","settings.nav.git-settings":"Git","settings.nav.local-environments":"Окружения","settings.nav.mcp-settings":"Серверы MCP","settings.nav.notImplemented":"[альфа] Недоступно в альфа-версии","settings.nav.personalization":"Персонализация","settings.nav.skills-settings":"Навыки","settings.nav.usage-analytics":"Использование и аналитика","settings.nav.worktrees":"Рабочие деревья","settings.openSourceLicenses.back":"Назад","settings.openSourceLicenses.loading":"Загрузка…","settings.openSourceLicenses.missing":"Уведомления от третьих лиц не обнаружены.","settings.openSourceLicenses.notSupported":"Недоступно на этом хосте.","settings.openSourceLicenses.rowDescription":"Уведомления от третьих лиц о включенных в комплект зависимостях","settings.openSourceLicenses.rowLabel":"Лицензии с открытым исходным кодом","settings.openSourceLicenses.subtitle":"Уведомления от третьих лиц относительно зависимостей, используемых в этом приложении","settings.openSourceLicenses.title":"Лицензии с открытым исходным кодом","settings.openSourceLicenses.view":"Просмотр","settings.personalization.agents.description":"Отредактируйте инструкции, чтобы адаптировать Codex под ваши потребности. {learnMore}","settings.personalization.agents.learnMore":"Узнать больше","settings.personalization.agents.loadError":"Не удалось загрузить agents.md.","settings.personalization.agents.loading":"Загрузка agents.md…","settings.personalization.agents.placeholder":"Добавьте свои собственные инструкции…","settings.personalization.agents.retry":"Повторить","settings.personalization.agents.save":"Сохранить","settings.personalization.agents.save.error":"Не удалось сохранить agents.md","settings.personalization.agents.save.success":"Сохранен agents.md","settings.personalization.agents.title":"Пользовательские инструкции","settings.personalization.personality.description":"Выберите тон по умолчанию для ответов Codex","settings.personalization.personality.label":"Личность","settings.sample.contentBody":"Используйте этот макет, чтобы расположить панели настроек с одинаковым интервалом.","settings.sample.contentTitle":"Пример блока контента","settings.section.account":"Учетная запись","settings.section.agent":"Конфигурация","settings.section.data-controls":"Архивированные беседы","settings.section.environments":"Облачное окружение","settings.section.external":"Откроется в вашем браузере во время альфа-тестирования","settings.section.general-settings":"Общее","settings.section.git-settings":"Git","settings.section.local-environments":"Окружения","settings.section.mcp-settings":"Серверы MCP","settings.section.mcp-settings.docs":"Документы","settings.section.mcp-settings.subtitle":"Подключайте внешние инструменты и источники данных.","settings.section.personalization":"Персонализация","settings.section.skills-settings":"Навыки","settings.section.unavailable":"Пока недоступно в альфа-версии","settings.section.usage-analytics":"Использование и аналитика","settings.section.worktrees":"Рабочие деревья","settings.threadDetail.description":"Выберите, какой объем вывода команд отображать в беседах","settings.threadDetail.label":"Подробности беседы","settings.worktrees.conversation.untitled":"Обсуждение без названия","settings.worktrees.delete.error":"Не удалось удалить рабочее дерево","settings.worktrees.empty.body":"Рабочие деревья, созданные с помощью Codex, будут отображаться здесь.","settings.worktrees.empty.title":"Пока нет рабочих деревьев","settings.worktrees.error.body":"При загрузке рабочих деревьев произошла ошибка.","settings.worktrees.error.retry":"Повторить","settings.worktrees.error.title":"Не удалось загрузить рабочие деревья","settings.worktrees.loading.body":"Получение сведений о рабочем дереве.","settings.worktrees.loading.title":"Загрузка рабочих деревьев","settings.worktrees.repository.loading":"Загрузка метаданных репозитория...","settings.worktrees.repository.unknown":"Неизвестный репозиторий","settings.worktrees.row.conversations":"Обсуждения","settings.worktrees.row.conversations.empty":"С этим рабочим деревом не связано ни одного обсуждения.","settings.worktrees.row.conversations.loading":"Загрузка обсуждения…","settings.worktrees.row.delete":"Удалить","settings.worktrees.row.title":"Рабочее дерево","sidebarElectron.addWorkspaceRoot":"Добавить новый проект","sidebarElectron.archiveThread":"Архивировать беседу","sidebarElectron.archiveThreadError":"Не удалось заархивировать беседу","sidebarElectron.collapseFolder":"Свернуть папку","sidebarElectron.createStableWorktree.dialog.cancel":"Отменить","sidebarElectron.createStableWorktree.dialog.create":"Создать","sidebarElectron.debugNavLink":"Отладить","sidebarElectron.editWorkspaceRootOptionName":"Изменить имя","sidebarElectron.expandFolder":"Развернуть папку","sidebarElectron.groupByMenu.recency":"Хронологический список","sidebarElectron.groupByMenu.title":"Организовать","sidebarElectron.groupByMenu.workspace":"По проекту","sidebarElectron.inboxRouteNavLink":"Автоматизации","sidebarElectron.markThreadUnread":"Отметить как непрочитанное","sidebarElectron.missingWorkspaceRoot":"Эта папка проекта была удалена или перемещена","sidebarElectron.newThread":"Новая беседа","sidebarElectron.newThreadInGroup":"Начать новую ветку обсуждения в {folder}","sidebarElectron.noRecentThreads":"Нет недавних бесед","sidebarElectron.noTasks":"Нет бесед","sidebarElectron.noTasks.start":"Добавить новый проект","sidebarElectron.noTasksWithFilter":"Ни одна беседа не соответствует заданным фильтрам","sidebarElectron.pinnedThreads":"Закрепленные беседы","sidebarElectron.recentNavLink":"Беседы","sidebarElectron.recentThreads":"Недавнее беседы","sidebarElectron.removeWorkspaceRootOption":"Удалить","sidebarElectron.renameThread":"Переименовать беседу","sidebarElectron.renameThreadDialogAriaLabel":"Название беседы","sidebarElectron.renameThreadDialogCancel":"Отменить","sidebarElectron.renameThreadDialogPlaceholder":"Добавить название…","sidebarElectron.renameThreadDialogSave":"Сохранить","sidebarElectron.renameThreadDialogSubtitle":"Сделайте его коротким и легко запоминающимся.","sidebarElectron.renameThreadDialogTitle":"Переименовать беседу","sidebarElectron.renameThreadError":"Не удалось переименовать беседу","sidebarElectron.renameWorkspaceRootOptionLabel":"Отображаемое имя","sidebarElectron.showLess":"Показать меньше","sidebarElectron.showMenu.all":"Все беседы","sidebarElectron.showMenu.relevant":"Соответствующий","sidebarElectron.showMenu.relevantHint":"Отображать только недавние обсуждения для текущей ветки, рабочих деревьев или другие обсуждения, требующие вашего внимания","sidebarElectron.showMenu.title":"Показать","sidebarElectron.showMenu.tooltip":"Фильтруйте, сортируйте и систематизируйте беседы","sidebarElectron.showMenu.trigger":"Фильтрация тем в боковой панели","sidebarElectron.showMore":"Показать больше","sidebarElectron.skillsRouteNavLink":"Навыки","sidebarElectron.sortMenu.created":"Создано","sidebarElectron.sortMenu.title":"Сортировать по","sidebarElectron.sortMenu.updated":"Обновлено","sidebarElectron.taskNavigation":"Папки автоматизаций","sidebarElectron.tasksInFolder":"Автоматизации в {folder}","sidebarElectron.workspaceOptions":"Действия по проекту для {folder}","sidebarElectron.worktreeGroupTooltip":"Это рабочее дерево git","skills.appsPage.createSkill":"Новый навык","skills.appsPage.empty.skills":"Навыков не обнаружено","skills.appsPage.search.skills":"Поиск навыков","skills.appsPage.search.skills.label":"Поиск навыков","skills.appsPage.section.installedApps":"Установлено","skills.appsPage.section.skills":"Навыки","skills.appsPage.subheading":"Наделите Codex сверхспособностями. <link>Узнать больше</link>","skills.appsPage.tab.recommended":"Рекомендуется","skills.appsPage.tab.skills":"Навыки","skills.card.contentsError":"Не удалось загрузить содержимое навыка.","skills.card.disable":"Отключить","skills.card.disableSuccess":"{skillName} навык отключен","skills.card.disabledBadge":"Отключено","skills.card.enable":"Включить","skills.card.enableSuccess":"{skillName} навык включен","skills.card.loadingContents":"Загрузка содержимого навыков…","skills.card.more":"Больше действий","skills.card.open":"Открыть","skills.card.removeFailed":"Не удалось удалить навык","skills.card.removeSuccess":"{skillName} навык удален","skills.card.toggleEnabledError":"Не удалось обновить навык","skills.card.try":"Попробовать","skills.card.trySkill":"Попробовать навык","skills.card.uninstall":"Удалить","skills.hero.dotLabel":"Перейти на слайд {index}","skills.hero.next":"Следующий демонстрируемый навык","skills.hero.trySkill":"Попробовать навык","skills.page.createSkill":"Новый навык","skills.page.empty":"Навыков не обнаружено","skills.page.filteredEmpty":"Ни один навык не соответствует заданным вами фильтрам","skills.page.filteredEmptyDescription":"Попробуйте изменить параметры поиска или фильтры","skills.page.heading":"Навыки","skills.page.loading":"Загрузка навыков…","skills.page.refreshSkills":"Обновить","skills.page.refreshSkillsToUseNew":"Обновите страницу, чтобы использовать новые навыки","skills.page.search":"Поиск навыков","skills.page.search.label":"Поиск навыков","skills.page.subheading":"Наделите Codex сверхспособностями. <link>Узнать больше</link>","skills.preview.copyPrompt":"Копировать подсказку","skills.preview.examplePrompt":"Пример подсказки","skills.recommended.error":"Не удалось загрузить рекомендуемые навыки","skills.recommended.install":"Установить","skills.recommended.installSkill":"Установить навык","skills.recommended.installSuccess":"{skillName} навык установлен","skills.recommended.installed":"Установлено","skills.scope.admin":"Администратор","skills.scope.adminInstalled":"Установлено администратором","skills.scope.builtIn":"Система","skills.scope.personal":"Личный","skills.scope.repo":"Репозиторий","skills.scope.system":"Система","skills.scope.team":"Команда","skills.scope.user":"Пользователь","skills.section.installed":"Установлено","skills.section.recommended":"Рекомендуется","story.slidingToggle.existing":"Существующий","story.slidingToggle.fromLocal":"Из локального","story.slidingToggle.new":"Новый","story.slidingToggle.toLocal":"В локальный","terminal.close":"Закрыть терминал","terminal.title":"Терминал","thinkingShimmer.default":"Думаю","threadEnvIcon.cloudTooltip":"Это обсуждение происходит в облачной среде Codex.","threadEnvIcon.localTooltip":"Это обсуждение происходит локально.","threadEnvIcon.worktreeTooltip":"Это обсуждение происходит в локальной рабочей копии git.","threadHeader.archiveConfirmCancel":"Отменить","threadHeader.archiveConfirmConfirm":"Архивировать","threadHeader.archiveConfirmSubtitle":"Вы сможете найти это позже в своих заархивированных беседах.","threadHeader.archiveConfirmTitle":"Архивировать беседу","threadHeader.copyAppLink":"Скопировать ссылку","threadHeader.copySessionId":"Копировать идентификатор сеанса","threadHeader.copyWorkingDirectory":"Скопировать рабочую директорию","threadHeader.forkIntoLocal":"Разветвить в локальную","threadHeader.forkIntoWorktree":"Разветвить в новое рабочее дерево","threadHeader.forkPendingWorktreePrompt":"Разветвить это обсуждение в новое рабочее дерево.","threadHeader.forkPendingWorktreeTitle":"Разветвленное обсуждение","threadHeader.forkThreadError":"Не удалось разветвить беседу","threadHeader.forkThreadRequiresGitRepo":"Для разветвления в новое рабочее дерево требуется репозиторий git","threadHeader.moreActions":"Действия беседы","threadPage.newThread":"Новая беседа","threadPage.runAction.changeEnvironment":"Изменить окружение","threadPage.runAction.dropdown.titleWithEnvironment":"Действия {environmentName}","threadPage.runAction.environmentSelector.label":"Выбрать окружение","threadPage.runAction.label":"Запустить","threadPage.runAction.missing.label":"Настроить действие запуска","threadPage.runAction.setup.commandLabel":"Команда для выполнения","threadPage.runAction.setup.description":"Расскажите Codex, как установить зависимости и запустить ваше приложение.","threadPage.runAction.setup.editMore":"Настройки окружения","threadPage.runAction.setup.placeholder":"Пример: npm install npm run","threadPage.runAction.setup.submit":"Сохранить и запустить","threadPage.runAction.setup.title":"Запустить","threadPage.runAction.tooltip.withEnvironment":"Действия {environmentName}","threadPage.toggleDiffPanel":"Переключить панель разницы","threadPage.toggleTerminal":"Переключить терминал","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Открыть папку","toolSummaryForCmd.exploredFiles":"<verb>Перечисленные</verb> файлы","toolSummaryForCmd.exploredFilesInPath":"<verb>Перечислил</verb> файлы в {path}","toolSummaryForCmd.exploringFiles":"<verb>Перечисление</verb> файлов","toolSummaryForCmd.exploringFilesInPath":"<verb>Перечисление</verb> файлов в {path}","toolSummaryForCmd.ranGenericCommand":"<status>Выполнена команда</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Запущен</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Прочитать</verb> {path} ","toolSummaryForCmd.runningGenericCommand":"<status>Выполняется команда</status>{timer}","toolSummaryForCmd.runningTimer":"для {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Выполнен поиск</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Выполнен поиск</verb> файлов","toolSummaryForCmd.searchedForInPath":"<verb>Выполнен поиск</verb> {query} в {path}","toolSummaryForCmd.searchingFor":"<verb>Поиск</verb> «{query}»","toolSummaryForCmd.searchingForFiles":"<verb>Поиск</verb> файлов","toolSummaryForCmd.searchingForInPath":"<verb>Поиск</verb> «{query}» в {path}","traceRecording.details.noteLabel":"Что вы делали, когда это произошло? (необязательно)","traceRecording.details.notePlaceholder":"Перешел в большую беседу, затем несколько раз переключался между вкладками…","traceRecording.details.submit":"Отправить трассировку","traceRecording.details.subtitle":"Мы можем отправить этот файл трассировки профиля, чтобы помочь в диагностике проблем с производительностью.","traceRecording.details.title":"Отправить данные трассировки профиля?","traceRecording.progress.subtitle":"Не закрывайте Codex, пока процесс не завершится.","traceRecording.saving.title":"Сохранение трассировки…","traceRecording.startDetails.cancel":"Отменить","traceRecording.startDetails.submit":"Хорошо, начинаем запись","traceRecording.startDetails.subtitle":"После того как вы нажмете кнопку «ОК», воспроизведите проблему с производительностью, затем щелкните плавающий красный индикатор, чтобы остановить запись и просмотреть результаты трассировки.","traceRecording.startDetails.title":"Как работает запись трассировки","traceRecording.stopButton.ariaLabel":"Прекратить запись трассировки","traceRecording.upload.successToast":"Трассировки профилирования отправлены.","traceRecording.uploading.title":"Загрузка данных трассировки…","wham.diff.addComment":"Добавить комментарии","wham.diff.binaryFile":"Бинарный файл не отображается","wham.diff.noContent":"Нет контента","wham.fileTag.deleted":"Удалено","wham.fileTag.new":"Новый","wham.formattedRelativeDateTime.compactDaysAgo":"{value}д","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ч","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}м","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}мес","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}н","wham.formattedRelativeDateTime.compactYearsAgo":"{value}г","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Работаем над вашей задачей","wham.whamProposedTask.title":"Предлагаемая задача","wham.whamProposedTask.useSuggestion":"Использовать предложение","workspaceRootDialog.addError":"Не удалось добавить проект","workspaceRootDialog.cancel":"Отменить","workspaceRootDialog.confirmAdd":"Добавить проект","workspaceRootDialog.confirmPick":"Использовать проект","workspaceRootDialog.description":"Введите путь к {host}, который хотите использовать в качестве пути проекта.","workspaceRootDialog.pathLabel":"Путь проекта","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Добавить путь проекта","workspaceRootDialog.title.pick":"Выбрать путь проекта","worktreeInitV2.cancel":"Отменить","worktreeInitV2.notification.failedTitle":"Не удалось настроить рабочее дерево","worktreeInitV2.output.empty":"Ожидание результата…","worktreeInitV2.status.error":"Не удалось настроить рабочее дерево.","worktreeInitV2.status.running":"Создание рабочего дерева и запуск программы установки.","worktreeInitV2.status.runningFork":"Создание рабочего дерева для разветвления этого обсуждения.","worktreeInitV2.status.success":"Рабочее дерево готово.","worktreeInitV2.title":"Создание рабочего дерева","worktreeInitV2.workLocallyInstead":"Вместо этого работайте локально","worktreeRestoreBanner.body":"Рабочее дерево этой беседы было удалено для экономии места на диске","worktreeRestoreBanner.missing.body":"Рабочей директории этой беседы больше не существует","worktreeRestoreBanner.missing.title":"Текущая рабочая директория отсутствует","worktreeRestoreBanner.restore.error":"Не удалось восстановить рабочее дерево: {message}","worktreeRestoreBanner.restore.success":"Рабочее дерево восстановлено","worktreeRestoreBanner.restoreCta":"Восстановить рабочее дерево","worktreeRestoreBanner.title":"Рабочее дерево очищено"};export{e as default};
+const e={"CopyButton.copyTooltip":"Копировать","app.sidebar.hide":"Скрыть боковую панель","app.sidebar.show":"Показать боковую панель","app.sidebar.tooltip":"Переключить боковую панель","appHeader.installUpdate":"Обновить","appSunset.body":"Эта версия приложения больше не поддерживается. Загрузите последнюю версию <here>здесь</here>.","appSunset.title":"Требуется обновление","automation.updateDirective.create":"Создать","automation.updateDirective.open":"Открыть","automation.updateDirective.untitled":"Автоматизация без названия","automation.updateDirective.update":"Обновить","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# попытка} few {# попытки} many {# попыток} other {# попытки}}","cloudTaskRow.archiveError":"Не удалось заархивировать задачу","code.diff.requestChange":"Запросить изменение","code.diffComment.cancel":"Отменить","code.diffComment.comment":"Комментарий","code.diffComment.delete":"Удалить","code.diffComment.save":"Сохранить","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Никаких выводов не сообщалось.","codex.alert.closeAriaLabel":"Закрыть","codex.appUpsellBanner.cbpApi.message":"Создавайте проекты быстрее с помощью приложения Codex. Скачайте сейчас или {learnMoreLink}.","codex.appUpsellBanner.download":"Скачать","codex.appUpsellBanner.freeGo.message":"Приложение Codex включено в ваш тарифный план до 2 марта. Попробуйте приложение Codex, чтобы работать быстрее.","codex.appUpsellBanner.later":"Позже","codex.appUpsellBanner.learnMoreLowercase":"узнать больше","codex.appUpsellBanner.new":"Новый","codex.appUpsellBanner.proPlusBusiness.message":"Попробуйте приложение Codex с удвоенными лимитами использования до 2 апреля. Скачайте прямо сейчас или {learnMoreLink}.","codex.appUpsellBanner.title":"Приложение Codex","codex.applyDropdown.header.changes":"Изменения","codex.applyDropdown.header.fileCount":"{count, plural, one {# файл} few {# файла} many {# файлов} other {# файла}}","codex.applyDropdown.header.rows":"строки","codex.applyDropdown.header.title":"Применить изменения","codex.applyDropdown.header.workspace":"Проект","codex.applyDropdown.results.conflicted":"{count, plural, one {Обнаружен конфликт с одним файлом:} few {Обнаружен конфликт с {count} файлами:} many {Обнаружен конфликт с {count} файлами:} other {Обнаружен конфликт с {count} файлами:}}","codex.applyDropdown.results.empty":"Файлы не были скопированы","codex.applyDropdown.results.skipped":"{count, plural, one {1 файл пропущен:} few {{count} файла пропущено:} many {{count} файлов пропущено:} other {{count} файла пропущено:}}","codex.applyOrRevertBanner.apply":"Применить","codex.applyOrRevertBanner.applyMessage":"Применить изменения и продолжить локально?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Эта задача была сделана в {environment}, поэтому она может применяться некорректно.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Изменения, внесенные в {environment}, могут применяться некорректно.","codex.applyOrRevertBanner.reapply":"Повторно подать заявку","codex.applyOrRevertBanner.revert":"Отменить","codex.applyOrRevertBanner.revertMessage":"Отменить внесенные изменения?","codex.applyResultsDialog.applied":"Наносится корректно ({count})","codex.applyResultsDialog.close":"Закрыть","codex.applyResultsDialog.conflicted":"Конфликт ({count})","codex.applyResultsDialog.noDetails":"Сведения о файле отсутствуют.","codex.applyResultsDialog.skipped":"Пропущено ({count})","codex.applyResultsDialog.title":"Применить результаты","codex.archiveInfo":"Просматривайте архивированные чаты в {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Элементы управления данными","codex.archiveInfo.electron":"Просматривайте архивированные чаты в {settingsLink}","codex.archiveInfo.extension":"Просмотреть архивные чаты можно в папке .codex.","codex.archiveInfo.settingsLink":"Настройки","codex.banner.content.description":"Выполняйте задачи параллельно, отслеживайте прогресс где угодно и просматривайте запросы с помощью ИИ.","codex.banner.content.headline":"Codex делает все это.","codex.cloudTaskRow.archiveTask":"Заархивировать задачу","codex.cloudTaskRow.confirmArchiveTask":"Подтвердить","codex.command.feedback":"Отзыв","codex.command.findInThread":"Найти","codex.command.forceReloadSkills":"Принудительная перезагрузка навыков","codex.command.logOut":"Выйти","codex.command.manageTasks":"Управление задачами","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Назад","codex.command.navigateForward":"Следующий","codex.command.newThread":"Новая беседа","codex.command.nextThread":"Следующая беседа","codex.command.openFolder":"Открыть папку","codex.command.openSkills":"Перейти к навыкам","codex.command.openThreadOverlay":"Выдвинуть беседу","codex.command.personalitySettings":"Личность","codex.command.previousThread":"Предыдущая беседа","codex.command.settings":"Настройки","codex.command.toggleDiffPanel":"Переключить панель разницы","codex.command.toggleSidebar":"Переключить боковую панель","codex.command.toggleTerminal":"Переключить терминал","codex.commandGroup.app":"Приложение","codex.commandGroup.configure":"Конфигурация","codex.commandGroup.navigation":"Навигация","codex.commandGroup.panels":"Панели","codex.commandGroup.skills":"Навыки","codex.commandGroup.thread":"Беседа","codex.commandGroup.workspace":"Проект","codex.commandMenu.noResults":"Нет совпадений","codex.commandMenu.searchPlaceholder":"Команды поиска","codex.commandMenu.suggestedGroup":"Предложено","codex.commandMenu.switchWorkspace":"Переключить проект","codex.commandMenu.title":"Меню команд","codex.common.retry":"Повторить","codex.composer.searchBranches":"Поиск ветвей","codex.dialog.basic.body":"Это простой модальный диалог, использующий нашу оболочку Radix Dialog.","codex.dialog.basic.cancel":"Отменить","codex.dialog.basic.confirm":"Подтвердить","codex.dialog.basic.open":"Открыть диалог","codex.dialog.basic.title":"Образец диалог","codex.dialog.long.close":"Закрыть","codex.dialog.long.line":"Прокручиваемая строка {index} для демонстрации длинного содержимого внутри диалогового окна.","codex.dialog.long.open":"Открыть длинный диалог","codex.dialog.long.title":"Длинный диалог содержимого","codex.dialog.unstyled.body":"Эта история демонстрирует, как инициирующие вызов могут полностью контролировать оформление содержимого диалога.","codex.dialog.unstyled.open":"Открыть диалоговое окно без стилей","codex.dialog.unstyled.title":"Неоформленный контент","codex.diff.openInEditorPrompt.openButton":"Открыть в редакторе","codex.diff.openInEditorPrompt.singleLine":"Файл слишком велик для отображения здесь.","codex.diffView.failedToDecodeBase64Diff":"Не удалось декодировать дифференциал base64","codex.diffView.filesChanged":"{fileCount, plural, one {Изменен # файл} few {Изменено # файла} many {Изменено # файлов} other {Изменено # файла}}","codex.diffView.imagePreviewAlt":"Предварительный просмотр изображения","codex.diffView.imagePreviewEmpty":"Нет изображения","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Нет данных о дифференциале","codex.diffView.pdfPreview.nextPage":"Следующая страница","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Предыдущая страница","codex.diffView.pdfPreviewEmpty":"Нет предварительного просмотра PDF","codex.diffView.pdfPreviewError":"Не удалось отобразить предварительный просмотр PDF-файла","codex.diffView.richPreviewDisable":"Отключить расширенный предварительный просмотр","codex.diffView.richPreviewEnable":"Включить расширенный предварительный просмотр","codex.diffView.richPreviewLoading":"Загрузка предварительного просмотра…","codex.diffView.richPreviewToggle":"Переключить расширенный предварительный просмотр","codex.diffView.switchToUnified":"Переключиться на унифицированный дифференциал","codex.environmentSelector.noEnvironment":"Нет окружения","codex.environments.environmentSettings":"Настройки окружения","codex.environments.learnMore":"Узнать больше","codex.environments.listError":"Не удалось загрузить окружения.","codex.environments.noEnvironmentsFound":"Окружения не найдены","codex.environments.searchError":"Не удалось выполнить поиск окружений.","codex.errorBoundary.genericError":"Упс, произошла ошибка","codex.errorBoundary.goHome":"Попробовать еще раз","codex.file.patch.missing":"Не удалось создать патч для этого файла.","codex.gallery.automations.cwdLabel":"Проекты","codex.gallery.automations.nameLabel":"Имя","codex.gallery.automations.namePlaceholder":"Подведение итогов по задаче","codex.gallery.automations.promptLabel":"Подсказка","codex.gallery.automations.promptPlaceholder":"Опишите, что должен делать Codex","codex.gallery.dialogs.automation.label":"Диалоговое окно автоматизации","codex.gallery.dialogs.basic.body":"Используйте этот макет для простых подтверждений или коротких форм.","codex.gallery.dialogs.basic.cancel":"Отменить","codex.gallery.dialogs.basic.confirm":"Подтвердить","codex.gallery.dialogs.basic.label":"Базовый диалог","codex.gallery.dialogs.basic.title":"Образец диалога","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Опишите проблему","codex.gallery.dialogs.feedbackSubmission.bad":"Плохой результат","codex.gallery.dialogs.feedbackSubmission.bug":"Ошибка","codex.gallery.dialogs.feedbackSubmission.good":"Хороший результат","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Включить текущие журналы сеансов Codex","codex.gallery.dialogs.feedbackSubmission.label":"Отправка отзыва","codex.gallery.dialogs.feedbackSubmission.other":"Другое","codex.gallery.dialogs.feedbackSubmission.placeholder":"Опишите проблему здесь","codex.gallery.dialogs.feedbackSubmission.submit":"Отправить","codex.gallery.dialogs.feedbackSubmission.title":"Отзыв","codex.gallery.dialogs.feedbackSuccess.body":"Отзыв отправлен. Если проблема сохранится, создайте заявку на GitHub или укажите идентификатор темы в уже существующей открытой заявке:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Скрыть","codex.gallery.dialogs.feedbackSuccess.label":"Успешная обратная связь","codex.gallery.dialogs.feedbackSuccess.title":"Отзыв загружен","codex.gallery.dialogs.gitApplyResults.applied":"Наносится корректно (2)","codex.gallery.dialogs.gitApplyResults.close":"Закрыть","codex.gallery.dialogs.gitApplyResults.conflicted":"Произошел конфликт (1)","codex.gallery.dialogs.gitApplyResults.label":"Применить результаты","codex.gallery.dialogs.gitApplyResults.title":"Применить результаты","codex.gallery.dialogs.gitPushError.body":"Загрузите последние изменения или выполните принудительную отправку, если уверены, что удаленную историю можно безопасно перезаписать.","codex.gallery.dialogs.gitPushError.cancel":"Отменить","codex.gallery.dialogs.gitPushError.force":"Принудительная отправка","codex.gallery.dialogs.gitPushError.label":"Ошибка при отправке","codex.gallery.dialogs.gitPushError.subtitle":"Ваша ветка отстает от ветки origin/main.","codex.gallery.dialogs.gitPushError.title":"Не удалось отправить изменения","codex.gallery.dialogs.gitRevert.cancel":"Отменить","codex.gallery.dialogs.gitRevert.confirm":"Отменить","codex.gallery.dialogs.gitRevert.label":"Отменить изменения","codex.gallery.dialogs.gitRevert.skip":"Больше не спрашивать","codex.gallery.dialogs.gitRevert.subtitle":"Это действие отменит все эти изменения.","codex.gallery.dialogs.gitRevert.title":"Отменить изменения?","codex.gallery.dialogs.longForm.label":"Длинный диалог","codex.gallery.dialogs.proseModal.body":"Этот стиль модального окна используется для более длинных инструкций, ознакомительных материалов или блоков с расширенным контентом.","codex.gallery.dialogs.proseModal.close":"Закрыть","codex.gallery.dialogs.proseModal.subtitle":"Здесь вы можете поделиться более подробными инструкциями или документацией.","codex.gallery.dialogs.proseModal.title":"Прозаический модальный","codex.gallery.dialogs.submitBlocked.label":"Отправка заблокирована","codex.gallery.dialogs.submitBlocked.message":"Не удалось отправить ваше сообщение, так как проект недоступен.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Невозможно отправить сообщение","codex.gallery.dialogs.title":"Диалоги","codex.gallery.dropdown.filterPlaceholder":"Фильтровать товары","codex.gallery.dropdowns.actionRow":"Строки действий","codex.gallery.dropdowns.actionRow.disabled":"Действие отключено","codex.gallery.dropdowns.actionRow.primary":"Основное действие","codex.gallery.dropdowns.actionRow.secondary":"Вторичное действие","codex.gallery.dropdowns.actionRow.trigger":"Показать действия","codex.gallery.dropdowns.basic":"Базовый выпадающий список","codex.gallery.dropdowns.basic.newFile":"Новый файл","codex.gallery.dropdowns.basic.newFolder":"Новая папка","codex.gallery.dropdowns.basic.openSettings":"Открыть настройки","codex.gallery.dropdowns.basic.title":"Быстрые действия","codex.gallery.dropdowns.basic.trigger":"Открыть меню","codex.gallery.dropdowns.basic.upload":"Загрузить","codex.gallery.dropdowns.panel":"Поверхность панели","codex.gallery.dropdowns.panel.apply":"Применить","codex.gallery.dropdowns.panel.body":"Просмотрите изменения и примените их к своему проекту.","codex.gallery.dropdowns.panel.preview":"Предварительный просмотр","codex.gallery.dropdowns.panel.title":"Применить изменения","codex.gallery.dropdowns.panel.trigger":"Открыть панель","codex.gallery.dropdowns.search":"Выпадающий список с возможностью поиска","codex.gallery.dropdowns.search.first":"Альфа-канал","codex.gallery.dropdowns.search.second":"Бета-ветка","codex.gallery.dropdowns.search.third":"Кандидат на выпуск","codex.gallery.dropdowns.search.trigger":"Фильтровать товары","codex.gallery.dropdowns.submenu":"Выпадающее меню с подменю","codex.gallery.dropdowns.submenu.optionA":"Проект альфа","codex.gallery.dropdowns.submenu.optionB":"Проект бета","codex.gallery.dropdowns.submenu.optionC":"Проект гамма","codex.gallery.dropdowns.submenu.primary":"Назначить владельца","codex.gallery.dropdowns.submenu.secondary":"Передвинуть в","codex.gallery.dropdowns.submenu.tertiary":"Архивировать","codex.gallery.dropdowns.submenu.trigger":"Выбрать действие","codex.gallery.dropdowns.title":"Выпадающие списки","codex.gallery.inbox.automations.close":"Закрыть","codex.gallery.inbox.automations.popover.cardTitle":"Управление автоматизацией","codex.gallery.inbox.automations.popover.dialogTitle":"Управление автоматизацией","codex.header.settingsTooltip":"Настройки","codex.hunk.patch.error":"Не удалось выполнить подготовку","codex.hunk.patch.missing":"Не удалось создать патч для этого фрагмента кода.","codex.hunk.patch.partialSuccess":"Частичный успех","codex.hunk.patch.revertError":"Не удалось отменить изменения","codex.hunk.patch.revertSuccess":"Успешно отменено развертывание","codex.hunk.patch.success":"Успешно поставлено","codex.legal.autonomy.details":"Подробности по ссылке {link}","codex.legal.autonomy.details.link":"Документы Codex","codex.legal.autonomy.title":"Решите, какую автономию вы хотите предоставить","codex.legal.backButton":"Назад","codex.legal.cloud.taskOne.meta":"openai/agi · 12 окт.","codex.legal.cloud.taskOne.title":"Объясните репозиторий новому дизайнеру","codex.legal.cloud.taskThree.meta":"openai/codex · 8 окт.","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Создайте темную тему","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 окт.","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Исправьте ошибку при регистрации","codex.legal.continue.apikey":"Продолжить","codex.legal.continueButton":"Далее","codex.legal.copilot.details":"Использует ваш план Copilot для всех вызовов моделей, выставления счетов и ограничений тарифов. Использование расширения Codex регулируется как {oaiTos} и {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Условия использования GitHub","codex.legal.copilot.oaiTosLink":"Условия обслуживания OpenAI Codex","codex.legal.copilot.title":"Создано на GitHub","codex.legal.mistakes.review":"Просмотрите код, который он пишет, и команды, которые он запускает","codex.legal.mistakes.title":"Codex может допускать ошибки","codex.legal.powered.details":"Использует ограничения вашего плана и {link}","codex.legal.powered.details.link":"предпочтения данных обучения","codex.legal.powered.title":"На основе вашей учетной записи ChatGPT","codex.legal.step.cloud.subtitle":"Отправляйте задачи в Codex для выполнения в фоновом режиме, чтобы вы могли сосредоточиться и двигаться быстрее.","codex.legal.step.cloud.title":"Передача Codex в облаке","codex.legal.step.intro.subtitle":"Codex перемещается, редактирует, запускает команды и выполняет тесты непосредственно в вашем репозитории. Работает на основе вашей учетной записи ChatGPT.","codex.legal.step.intro.title":"Codex в вашей IDE","codex.legal.step.todo.subtitle":"Напишите комментарий TODO и преобразуйте его в задачу Codex одним щелчком мыши.","codex.legal.step.todo.title":"Превратите TODO в задачи Codex","codex.legal.todo.heading":"// TODO: реализовать схему","codex.localConversation.closeImagePreview":"Закрыть предварительный просмотр изображения","codex.localConversation.userImageAttachment":"Приложение пользователя","codex.localTaskRow.archiveTask":"Архивировать беседу","codex.localTaskRow.awaitingApproval":"Ожидает одобрения","codex.localTaskRow.awaitingResponse":"Ожидание ответа","codex.localTaskRow.confirmArchiveTask":"Подтвердить","codex.loggedOut.apiKeyPrompt.cancel":"Отменить","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Получить ключ API","codex.loggedOut.apiKeyPrompt.inputLabel":"Введите свой ключ API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Облачные задачи отключены с помощью ключа API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Облачные задачи отключены с помощью Copilot и ключа API","codex.loggedOut.signIn":"Войти с помощью ChatGPT","codex.loggedOut.signIn.cancel":"Отменить вход","codex.loggedOut.signInWithCopilot":"Войдите с помощью GitHub Copilot.","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Использовать ключ API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Инструмент: {tool}, MCP-сервер: {server}","codex.mcpTool.collapsedLabel.verb.called":"Вызвал","codex.mcpTool.collapsedLabel.verb.calling":"Вызывает","codex.mcpTool.embeddedResource.contentLabel":"Контент","codex.mcpTool.embeddedResource.mimeTypeLabel":"Тип MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Инструмент не вернул никакого контента","codex.mcpTool.rawPayloadHeading":"Необработанные {server}. Полезная нагрузка вызова инструмента {tool}","codex.menu.recent":"Недавнее","codex.menu.seeAllHistory":"Посмотреть всю историю","codex.modelCapacityBanner.headline.noReset":"{modelName} сейчас работает на полную мощность. Повторите попытку позже или начните новый разговор с другой моделью.","codex.modelCapacityBanner.headline.withReset":"{modelName} сейчас работает на полную мощность. Повторите попытку после {resetDate} или начните новый разговор с другой моделью.","codex.modelCapacityBanner.title":"Выбранная модель заполнена","codex.patch.change.contentsDeleted":"Содержимое удалено","codex.patch.change.created":"Создано","codex.patch.change.created-file":"Созданный файл","codex.patch.change.creating":"Создание","codex.patch.change.deleted":"Удалено","codex.patch.change.deleted-file":"Удаленный файл","codex.patch.change.deleting":"Удаление","codex.patch.change.edited":"Редактирование","codex.patch.change.edited-file":"Отредактированный файл","codex.patch.change.editing":"Редактирует","codex.patch.change.noChanges":"Никаких изменений","codex.patch.change.rejected-add":"Отклонено","codex.patch.change.rejected-delete":"Отклонено","codex.patch.change.rejected-edit":"Отклонено","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} из {total} задач выполнено","codex.plan.todoListCreated":"Список дел, созданный из {total} задач","codex.profileDropdown.apiKeyAuth":"Авторизован с ключом API","codex.profileDropdown.codexSettings":"Настройки Codex","codex.profileDropdown.copilotAuth":"Вошел через Copilot","codex.profileDropdown.defaultAccountTitle":"Учетная запись по умолчанию","codex.profileDropdown.enterBehavior":"Нажмите {modifierSymbol} + Enter, чтобы отправить длинные запросы","codex.profileDropdown.enterBehaviorError":"Не удалось обновить настройку","codex.profileDropdown.getPlus":"Обновите тарифный план для увеличения лимитов","codex.profileDropdown.keyboardShortcuts":"Сочетания клавиш","codex.profileDropdown.language":"Язык","codex.profileDropdown.languageDefault":"Автоматически определять","codex.profileDropdown.languageSearchPlaceholder":"Поиск языков","codex.profileDropdown.languageUpdateError":"Не удалось обновить язык","codex.profileDropdown.logOut":"Выйти","codex.profileDropdown.mcp":"Настройки MCP","codex.profileDropdown.openConfigToml":"Открыть config.toml","codex.profileDropdown.openConfigToml.wsl":"Открыть config.toml в окружении WSL","codex.profileDropdown.openExtensionSettings":"Открыть настройки","codex.profileDropdown.openMcpSettings":"Открыть настройки MCP","codex.profileDropdown.openOnStartup":"Открыть при запуске","codex.profileDropdown.openOnStartupError":"Не удалось обновить настройку","codex.profileDropdown.openSkillsSettings":"Открыть настройки навыков","codex.profileDropdown.personalAccountTitle":"Личная учетная запись","codex.profileDropdown.queueFollowUps":"Последующие действия в очереди","codex.profileDropdown.queueFollowUpsError":"Не удалось обновить настройку","codex.profileDropdown.readDocs":"Читать документацию","codex.profileDropdown.readSkillsDocs":"Читать документацию","codex.profileDropdown.runInWsl":"Запустить в WSL","codex.profileDropdown.runInWslError":"Не удалось обновить настройку","codex.profileDropdown.runInWslTooltip":"Запускает Codex внутри WSL. Рекомендуется для повышения безопасности песочницы и повышения производительности.","codex.profileDropdown.settings":"Настройки IDE","codex.profileDropdown.settingsPage":"Настройки","codex.profileDropdown.signInWithOpenAI":"Войти с помощью ChatGPT","codex.profileDropdown.skills":"Настройки навыков","codex.profileDropdown.switchToCopilotAccount":"Использовать учетную запись Copilot","codex.profileDropdown.switchToOpenAIAccount":"Использовать учетную запись OpenAI","codex.profileDropdown.todoCodelens":"Исправить комментарии TODO","codex.profileDropdown.todoCodelensError":"Не удалось обновить настройку","codex.profileDropdown.windowsDocumentation":"Документация Windows","codex.profileFooter.signedInFallback":"Настройки","codex.profileFooter.upgrade":"Обновить","codex.recentTasksMenu.clearSearch":"Очистить поиск","codex.recentTasksMenu.cloud":"Облачные задачи","codex.recentTasksMenu.count":"{count, plural, =0 {Нет незавершенных задач} one {# задача в процессе} few {# задачи в процессе} many {# задач в процессе} other {# задачи в процессе}}","codex.recentTasksMenu.empty":"Пока нет бесед","codex.recentTasksMenu.errorCloud":"Не удалось загрузить задачи.","codex.recentTasksMenu.errorCloud.inline":"Не удалось загрузить облачные задачи.","codex.recentTasksMenu.filterAll":"Все","codex.recentTasksMenu.filterCloudTasks":"Фильтрация облачных задач","codex.recentTasksMenu.filterTooltip":"Фильтрация задач по окружению","codex.recentTasksMenu.local":"Локальные задачи","codex.recentTasksMenu.recent":"Все задачи","codex.recentTasksMenu.search":"Поиск недавних задач","codex.recentTasksMenu.searchEmpty":"Нет результата","codex.recentTasksMenu.tooltip":"История задач","codex.recentTasksMenu.trigger":"Недавнее задачи {count, plural, one {# выполняется} few {# выполняется} many {# выполняется} other {# выполняется}}","codex.remoteConversation.applyDiff.applyCta":"Применить изменения","codex.remoteConversation.applyDiff.dropdownTitle":"Применить изменения к локальной ветке","codex.remoteConversation.applyDiff.revertCta":"Отменить изменения","codex.remoteConversation.closeImagePreview":"Закрыть предварительный просмотр изображения","codex.remoteConversation.codexCloudTask":"Вы просматриваете <u>облачную задачу Codex</u>","codex.remoteConversation.errorWithMessage":"Ошибка: {message}","codex.remoteConversation.loadingImage":"Загрузка изображения","codex.remoteConversation.openInWeb":"Открыть в сети","codex.remoteConversation.streaming":"Начало работы","codex.remoteConversation.turnFailed":"Во время выполнения этой задачи произошла ошибка","codex.remoteConversation.turnTab.loading":"Попытка {number}","codex.remoteConversation.turnTab.title":"Попытка {number}","codex.remoteConversation.userImageAttachment":"Приложение пользователя","codex.remoteConversation.viewPreviousTurns":"Открыть в сети","codex.remoteConversation.viewPreviousTurns.buttonText":"Открыть","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Открыть в сети","codex.review.copyGitApplyCommand":"Скопировать команду git apply","codex.review.copyGitApplyCommand.toast":"Команда git apply скопирована в буфер обмена","codex.review.diffTooLarge.description":"Разница слишком велика для отображения в режиме просмотра изменений.","codex.review.diffTooLarge.title":"Разница слишком велика для отображения","codex.review.expandOrCollapseDiffButton.collapse":"Свернуть все различия","codex.review.expandOrCollapseDiffButton.expand":"Развернуть все различия","codex.review.expandOrCollapseDiffMenu.collapse":"Свернуть все различия","codex.review.expandOrCollapseDiffMenu.expand":"Развернуть все различия","codex.review.fileSearch.clear":"Очистить фильтр файлов","codex.review.fileSearch.empty":"Файлы, соответствующие текущему фильтру, отсутствуют.","codex.review.fileSearch.label":"Фильтрация файлов","codex.review.fileSearch.placeholder":"Фильтрация файлов...","codex.review.filesChanged":"{num, plural, =0 {Ни один файл не был изменен} one {Изменен # файл} few {Изменено # файла} many {Изменено # файлов} other {Изменено # файла}}","codex.review.find.loadMore":"Загрузить больше совпадений","codex.review.fullReview.hideFileTree":"Скрыть дерево файлов","codex.review.fullReview.showFileTree":"Показать дерево файлов","codex.review.header.moreOptions":"Просмотреть варианты","codex.review.largeDiff.banner":"Обнаружены значительные различия — отображается по одному файлу за раз.","codex.review.loadFullFiles.disable":"Не загружать файлы целиком","codex.review.loadFullFiles.enable":"Загружать файлы целиком","codex.review.noDiff":"Здесь будут отображаться изменения в файле","codex.review.noDiff.gitInit.createRepository":"Создать репозиторий git","codex.review.noDiff.gitInit.creating":"Создание…","codex.review.noDiff.gitInit.error":"Ошибка инициализации Git: {message}","codex.review.noDiff.gitInit.success":"Репозиторий Git создан","codex.review.noDiff.gitRepoRequired.description":"Отслеживайте и отменяйте изменения в этом проекте","codex.review.noDiff.gitRepoRequired.title":"Создать репозиторий Git","codex.review.noDiff.orNoLongerAvailable":"или последние различия больше не доступны","codex.review.noDiff.reverted":"Последний ход был отменен","codex.review.noDiff.revertedOrCommitted":"Последний ход либо был отменен, либо зафиксирован","codex.review.refreshGitQueries":"Обновить","codex.review.revert.file.error":"Не удалось выполнить откат {path}","codex.review.revert.file.partialSuccess":"Частично отменено {path}","codex.review.revert.file.success":"Отменено {path}","codex.review.revert.hunk.error":"Не удалось отменить изменения {hunkNumber} в {path}","codex.review.revert.hunk.partialSuccess":"Частично отмененный фрагмент {hunkNumber} в {path}","codex.review.revert.hunk.success":"Отмененный фрагмент {hunkNumber} в {path}","codex.review.revert.section.error":"Не удалось отменить изменения в разделе","codex.review.revert.section.partialSuccess":"Раздел частично восстановлен","codex.review.revert.section.success":"Раздел восстановлен","codex.review.revertDialog.cancel":"Отменить","codex.review.revertDialog.confirm":"Подтвердить","codex.review.revertDialog.message":"Это действие отменит все эти изменения.","codex.review.revertDialog.skip":"Больше не спрашивать","codex.review.revertDialog.title":"Отменить изменения?","codex.review.richPreview.disable":"Отключить расширенный предварительный просмотр","codex.review.richPreview.enable":"Включить расширенный предварительный просмотр","codex.review.source.cloud":"Изменения в облаке","codex.review.source.local.all":"Все изменения в ветке","codex.review.source.local.lastTurn":"Изменения в последнем ходе","codex.review.source.local.uncommitted":"Незафиксированные изменения","codex.review.source.worktree":"Незафиксированные изменения в рабочем дереве","codex.review.stageFilter.empty.staged.description":"Примите изменения, чтобы подготовить их к публикации","codex.review.stageFilter.empty.staged.title":"Никаких запланированных изменений","codex.review.stageFilter.empty.unstaged.description":"Изменения в коде появятся здесь","codex.review.stageFilter.empty.unstaged.title":"Нет незафиксированных изменений","codex.review.stageFilter.staged":"Поставленный","codex.review.stageFilter.staged.count":"Поставленный · {count}","codex.review.stageFilter.unstaged":"Непоставленный","codex.review.stageFilter.unstaged.count":"Непоставленный · {count}","codex.review.switchToSplit":"Переключиться в режим сравнения с разделением экрана","codex.review.switchToUnified":"Переключиться на унифицированный дифференциал","codex.review.toggleDiffView":"Переключить режим просмотра различий","codex.review.wordDiffs.disable":"Отключить сравнение слов","codex.review.wordDiffs.enable":"Включить сравнение слов","codex.review.wrap.disable":"Отключить перенос слов","codex.review.wrap.enable":"Включить перенос слов","codex.section.patch.missing":"Не удалось создать патч для этого раздела.","codex.shell.collapse":"Свернуть оболочку","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Скопированное содержимое оболочки","codex.shell.copy.copyTooltip":"Скопировать содержимое оболочки","codex.shell.copyCommand":"Скопировать команду","codex.shell.copyOutput":"Скопировать результат","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"баш","codex.shell.expand":"Развернуть оболочку","codex.shell.name":"Оболочка","codex.shell.noOutput":"Нет вывода","codex.signInFailed.message":"Войти в систему не удалось: {rawMessage}","codex.stories.toast.show":"Показать тост","codex.stories.tooltip.basic":"Это подсказка","codex.stories.tooltip.hoverMe":"Наведите на меня","codex.stories.tooltip.largerOffset":"Эта подсказка имеет большее смещение","codex.stories.tooltip.offsetButton":"Большее смещение","codex.stories.tooltip.shortcutButton":"С помощью сочетания клавиш","codex.stories.tooltip.withShortcut":"Переключить терминал","codex.taskRow.title":"Новая беседа","codex.taskRowLayout.confirm":"Подтвердить","codex.threadFindBar.chatFilter":"Поиск в чате","codex.threadFindBar.close":"Закрыть поиск","codex.threadFindBar.diffFilter":"Поиск различий","codex.threadFindBar.label":"Найти в беседе","codex.threadFindBar.nextResult":"Следующий результат","codex.threadFindBar.noResults":"0 результатов","codex.threadFindBar.placeholder":"Поиск в беседе…","codex.threadFindBar.placeholder.extension":"Поиск в беседе…","codex.threadFindBar.placeholder.review":"Поиск различия...","codex.threadFindBar.placeholder.review.extension":"Поиск различия...","codex.threadFindBar.previousResult":"Предыдущий результат","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {Изменен # файл} few {Изменено # файла} many {Изменено # файлов} other {Изменено # файла}}","codex.unifiedDiff.inlineLargeFile":"Слишком большой размер для отображения в тексте","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Отменить","codex.unifiedDiff.revertPatchError":"Не удалось отменить изменения","codex.unifiedDiff.revertPatchSuccess":"Изменения отменены","codex.unifiedDiff.reviewChangesSuffix":"изменения","codex.unifiedDiff.reviewShort":"Проверить","codex.unifiedDiff.viewDiffTooltip":"Проверить","codex.upsellBanner.business.headline":"Чтобы получить дополнительный доступ сейчас, отправьте запрос своему администратору, или подождите до {resetDate}.","codex.upsellBanner.cbp.headline":"Чтобы получить дополнительный доступ сейчас, отправьте запрос своему администратору.","codex.upsellBanner.cta.addCredits":"Добавить кредиты","codex.upsellBanner.cta.upgradeAccount":"Обновить","codex.upsellBanner.cta.viewUsage":"Просмотр использования","codex.upsellBanner.free.trialHeadline":"Ваш лимит запросов будет сброшен {resetDate}. Чтобы продолжить использовать Codex и получить доступ к GPT-5.3-Codex, начните бесплатную пробную версию Plus уже сегодня.","codex.upsellBanner.freeOrGo.headline":"Ваш лимит запросов будет сброшен {resetDate}. Чтобы продолжить использовать Codex, оформите подписку Plus сегодня.","codex.upsellBanner.general.headline":"Ваш лимит запросов будет сброшен {resetDate}","codex.upsellBanner.general.title":"У вас закончились сообщения Codex","codex.upsellBanner.go.trialHeadline":"Ваш лимит запросов будет сброшен {resetDate}. Чтобы продолжить использовать Codex, начните бесплатную пробную версию Plus уже сегодня.","codex.upsellBanner.plus.headline":"Ваш лимит запросов будет сброшен {resetDate}. Чтобы продолжить использовать Codex, оформите подписку Pro сегодня.","codex.upsellBanner.pro.headline":"Ваш лимит запросов будет сброшен {resetDate}. Добавьте кредиты, чтобы продолжить использовать Codex прямо сейчас.","codex.userMessage.autoResolveSync":"Автоматическое разрешение конфликтов","codex.userMessage.commentCount":"{count, plural, one {# комментарий} few {# комментария} many {# комментариев} other {# комментария}}","codex.userMessage.copiedAriaLabel":"Скопировано","codex.userMessage.copiedTooltip":"Скопировано","codex.userMessage.copyAriaLabel":"Скопировать сообщение","codex.userMessage.copyTooltip":"Копировать","codex.userMessage.implementPlan":"Реализовать план","codex.userMessage.noContent":"(Нет контента)","codex.userMessage.priorConversation":"Ссылки на предыдущий разговор","codex.userMessage.reviewMode":"Режим просмотра","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"для {query}","codex.webSearch.summary.verb.completed":"Искал в интернете","codex.webSearch.summary.verb.inProgress":"Поиск в интернете","codex.windowsInstallWslBanner.dismiss":"Удалить","codex.windowsInstallWslBanner.installWslCta":"Включить песочницу","codex.windowsInstallWslBanner.learnMore":"Узнать больше","codex.windowsSandboxBanner.content":"В режиме агента используется экспериментальная «песочница» Windows для ограничения доступа к файловой системе и сети.{sandboxLink}","codex.windowsSandboxBanner.title":"Включить песочницу для режима агента","codex.windowsSubDropdown.windowsSandbox":"Песочница Windows","codex.windowsSubDropdown.windowsSettings":"Настройки Windows","codexUpgradeModal.body":"Наша новейшая модель автономного программирования — более интеллектуальная, быстрая и способная выполнять более широкий спектр технических задач. {link}","codexUpgradeModal.close":"Закрыть","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Узнать больше","codexUpgradeModal.title":"Представляем GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Попробуйте GPT-5.3-Codex прямо сейчас","codexUpgradeModal.useExistingModel":"Продолжить использование текущей модели","commentAttachments.numComments":"{count, plural, one {# комментарий} few {# комментария} many {# комментариев} other {# комментария}}","commentAttachments.removeAriaLabel":"Удалить вложение комментариев","common.close":"Закрыть","composer.addContext.openFilePickerError":"Не удалось открыть диалоговое окно выбора файла","composer.addContextDropdown.ariaLabel":"Добавляйте файлы и многое другое","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Добавляйте файлы и многое другое","composer.addPhotosAndFiles":"Добавить фотографии и файлы","composer.atMentionList.emptyQuery":"Введите для поиска файлов","composer.atMentionList.loading":"Поиск…","composer.atMentionList.noResults":"Нет результатов","composer.attemptsSelector.option":"{count, plural, one {# версия} few {# версии} many {# версий} other {# версии}}","composer.attemptsSelector.tooltip":"Количество параллельных попыток Codex","composer.attemptsSelector.trigger":"{count}х","composer.backgroundTerminals.stop":"Остановить","composer.cloudFollowUp.cloud":"Облако","composer.cloudFollowUp.local":"Местный","composer.cloudFollowUp.whereRun":"Где должно проводиться это последующее наблюдение?","composer.cloudTaskCreationError":"Ошибка создания облачной задачи","composer.cloudTaskError":"Ошибка создания задачи","composer.contextWindow.autoCompactionTooltipLine1":"Codex автоматически сжимает свой контекст","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Контекстное окно:","composer.contextWindowUsageStatusFull":"{usage}% заполнено","composer.contextWindowUsageStatusLeft":"{usage}% использовано (осталось {remaining}%)","composer.contextWindowUsageTooltip":"Использовано {usedTokens} к / {contextWindow} к токенов","composer.customCliTooltip":"Использование пользовательского исполняемого файла командной строки","composer.dictation.aria":"Диктовать","composer.dictation.cancel.aria":"Остановить диктовку","composer.dictation.cancel.tooltip":"Остановить диктовку","composer.dictation.startError":"Не удалось начать диктовку","composer.dictation.submit.aria":"Расшифровать и отправить","composer.dictation.submit.tooltip":"Расшифровать и отправить","composer.dictation.tooltip":"Нажмите для диктовки","composer.dictation.transcribeError":"Не удалось расшифровать аудио","composer.dictation.unsupported":"Диктовка недоступна на этом устройстве","composer.dropOverlay.holdShift":"Удерживайте {key}, чтобы уронить","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Создать новый","composer.environmentSelector.error":"Ошибка загрузки окружений","composer.environmentSelector.goBack":"Вернуться к композитору","composer.environmentSelector.title":"Выбрать окружение","composer.environmentSelector.tooltip":"Выберите облачное окружение","composer.feedbackSlashCommand.title":"Отзыв","composer.filePicker.selectFile":"Выбрать файл","composer.filePicker.selectFiles":"Выбрать файлы","composer.followerTooltip":"Чтобы продолжить, вернитесь к окну, где началось это обсуждение.","composer.footer.branchSwitch.checkoutError":"Не удалось переключить ветку: {message}","composer.footer.branchSwitch.createAndCheckout":"Создать и переключиться на новую ветку…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Подтвердите изменения, чтобы создать и переключиться на новую ветку","composer.footer.branchSwitch.createBranchError":"Не удалось создать ветку: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Имя ветки","composer.footer.branchSwitch.createDialog.branchExistsError":"Ветка уже существует.","composer.footer.branchSwitch.createDialog.close":"Закрыть","composer.footer.branchSwitch.createDialog.createAndCheckout":"Создать и переключиться","composer.footer.branchSwitch.createDialog.placeholder":"new-branch","composer.footer.branchSwitch.createDialog.title":"Создать и переключиться на ветку","composer.footer.branchSwitch.createDialog.trailingSlashError":"Название ветки не может заканчиваться символом /","composer.footer.branchSwitch.tooltip":"Переключить ветку","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Зафиксируйте изменения в {fileCount, plural, one {# файл} few {# файла} many {# файла} other {# файла}} для извлечения {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Зафиксировать","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"изменения в {fileCount, plural, one {# файл} few {# файла} many {# файла} other {# файла}} для извлечения {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Отменить","composer.footer.branchSwitch.uncommittedDialog.commit":"Зафиксировать и переключить ветку...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Изменения в следующих файлах будут перезаписаны при оформлении заказа:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Зафиксируйте изменения, чтобы продолжить","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"выбранная ветка","composer.footer.branchSwitch.uncommittedDialog.title":"Зафиксировать изменения для переключения ветки","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Не подтверждено: {fileCount, plural, one {# файл} few {# файла} many {# файлов} other {# файлов}}","composer.forkSlashCommand.description":"Разветвить эту беседу на локальное или новое рабочее дерево","composer.forkSlashCommand.option.local.description":"Продолжить в новой локальной беседе","composer.forkSlashCommand.option.local.title":"Разветвить в локальную","composer.forkSlashCommand.option.worktree.description":"Продолжить в новом рабочем дереве","composer.forkSlashCommand.option.worktree.title":"Разветвить в новое рабочее дерево","composer.forkSlashCommand.title":"Разветвить","composer.ideContextIndicator":"Контекст IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Включить контекст из IDE","composer.ideContextIndicator.tooltipToggle":"для переключения","composer.ideContextSlashCommand.disableDescription":"Отключить контекст IDE","composer.ideContextSlashCommand.enableDescription":"Включите текущий выделенный фрагмент, открытые файлы и другой контекст из вашей интегрированной среды разработки","composer.ideContextSlashCommand.title":"Контекст IDE","composer.imageInputsUnsupported":"Эта модель не поддерживает ввод изображений. Попробуйте другую модель.","composer.imageUploadFailed":"Не удалось загрузить изображение","composer.includeIdeContextDropdown":"Включить контекст IDE","composer.includeIdeContextDropdown.ariaLabel":"Включить контекст IDE","composer.localCwdDropdown.addWorkspaceRoot":"Добавить новый проект","composer.localCwdDropdown.noActiveRoot":"Выберите свой проект","composer.localCwdDropdown.noResults":"Папки не найдены","composer.localCwdDropdown.title":"Выберите свой проект","composer.localTaskError":"Ошибка начала разговора","composer.mcpSlashCommand.description":"Показать статус сервера MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Не аутентифицирован","composer.mcpStatus.authOauth":"Аутентифицировано (OAuth)","composer.mcpStatus.authToken":"Аутентифицировано (API-ключ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Закрыть","composer.mcpStatus.disabled":"Отключено","composer.mcpStatus.emptyLabel":"Серверы:","composer.mcpStatus.emptyValue":"Серверы MCP не настроены","composer.mcpStatus.enabled":"Включено","composer.mcpStatus.errorLabel":"Статус:","composer.mcpStatus.errorValue":"Не удалось загрузить статус MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Сменить режим","composer.mode.agentMode.custom":"Пользовательский","composer.mode.agentMode.custom.dropdownLabel":"Пользовательский","composer.mode.agentMode.custom.option":"Пользовательский (config.toml)","composer.mode.agentMode.custom.optionLabel":"Пользовательский (config.toml)","composer.mode.agentMode.customInfo.cancel":"Отменить","composer.mode.agentMode.customInfo.cli":"Вы можете настроить эти параметры из CLI или напрямую отредактировав файл.","composer.mode.agentMode.customInfo.confirm":"Использовать пользовательский режим","composer.mode.agentMode.customInfo.description":"Пользовательский режим применяет политики утверждения и изолированной программной среды, определенные в вашем файле <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Подробности о настройке политик утверждения и изолированной программной среды смотрите в разделе <link>документации по окружению выполнения</link>.","composer.mode.agentMode.customInfo.refresh":"Любые изменения вступят в силу при следующем запуске агента.","composer.mode.agentMode.customInfo.title":"Как работает пользовательский режим","composer.mode.agentMode.fullAccess":"Агент (полный доступ)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (полный доступ)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (полный доступ)","composer.mode.agentMode.fullAccessConfirm.caution":"Соблюдайте осторожность при включении полного доступа. Это значительно увеличивает риск потери данных, утечек или неожиданного поведения.","composer.mode.agentMode.fullAccessConfirm.confirm":"Да, все равно продолжить","composer.mode.agentMode.fullAccessConfirm.description":"Когда Codex работает с полным доступом, он может редактировать любой файл на вашем компьютере и запускать команды по сети без вашего разрешения.","composer.mode.agentMode.fullAccessConfirm.goBack":"Отменить","composer.mode.agentMode.fullAccessConfirm.title":"Включить полный доступ?","composer.mode.agentMode.readOnly":"Чат","composer.mode.agentMode.readOnly.dropdownLabel":"Чат","composer.mode.agentMode.readOnly.optionLabel":"Чат","composer.mode.agentMode.tooltip":"Сменить режим","composer.mode.agentMode.tooltip.auto":"Чтение и редактирование файлов, а также запуск команд.","composer.mode.agentMode.tooltip.custom":"Используйте последние политики утверждения и изолированной программной среды, определенные в config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex может редактировать файлы за пределами проекта и выполнять команды с доступом к сети. Используйте с осторожностью.","composer.mode.agentMode.tooltip.readOnly":"Требуется разрешение на редактирование файлов и запуск команд.","composer.mode.cloud.tooltip":"Работайте в облачном окружении","composer.mode.contactAdmin":"Чтобы получить дополнительный доступ, обратитесь к администратору","composer.mode.local":"Местный","composer.mode.local.learnMore":"Узнать больше","composer.mode.local.model.custom":"Пользовательский","composer.mode.local.model.loadingModel":"Загрузка модели","composer.mode.local.model.selecrReasoningEffort":"Выберите рассуждение","composer.mode.local.model.selectModel":"Выбрать модель","composer.mode.local.model.tooltip":"Выберите модель","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Высокий","composer.mode.local.reasoning.low.label":"Низкий","composer.mode.local.reasoning.medium.label":"Средний","composer.mode.local.reasoning.minimal.label":"Минимальное","composer.mode.local.reasoning.none.label":"Ничего","composer.mode.local.reasoning.xhigh.label":"Очень высокий","composer.mode.localRemoteWhereRun":"Выберите, где следует выполнить задачу","composer.mode.newTask.header":"Продолжить в","composer.mode.rateLimit.day":"{days}д","composer.mode.rateLimit.heading":"Оставшиеся лимиты ставок","composer.mode.rateLimit.hour":"{hours}ч","composer.mode.rateLimit.minute":"{minutes}м","composer.mode.rateLimit.modelSectionLabel":"Лимит {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {недельный лимит} few {{weeks} недельных лимита} many {{weeks} недельных лимитов} other {{weeks} недельных лимита}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Еженедельно} few {{weeks} недели} many {{weeks} недель} other {{weeks} недели}}","composer.mode.remote.connectToCloud":"Подключить веб-сайт Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Настройте среду через веб-сайт Codex, чтобы разрешить отправку задач в облако.","composer.mode.remote.selectEnvironment":"Выбрать окружение","composer.mode.remote.sendToCloud":"Отправить в облако","composer.mode.remote.setupViaWeb":"Настройка окружения через веб-сайт Codex","composer.mode.runInCloud":"Облако","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Работа в облачном окружении","composer.mode.segmentedToggle.local.tooltip":"Работа в вашем локальном проекте","composer.mode.segmentedToggle.worktree.tooltip":"Работа в параллельном рабочем дереве","composer.mode.upgradeToPlus":"Перейти на Plus","composer.mode.upgradeToPro":"Перейти на Pro","composer.mode.workLocally":"Локальный проект","composer.mode.workLocally.currentBranchFallback":"ваша ветка","composer.mode.workLocally.tooltip":"Работать над {branchName}","composer.mode.worktree":"Новое рабочее дерево","composer.mode.worktree.submoduleWarning":"В этом репозитории используются подмодули git. Создание рабочего дерева может завершиться неудачей","composer.mode.worktree.tooltip":"Создайте копию вашего локального проекта для параллельной работы","composer.mode.worktreeSegment":"Рабочее дерево","composer.modelChangeDuringConversationWarning.toast":"Изменение модели во время обсуждения приведет к снижению производительности.","composer.newChat.heading.browser":"Что нам следует запрограммировать дальше?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex использует разрешения, определенные в файле config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex имеет полный доступ к вашему компьютеру (повышенный риск)","composer.permissionsDropdown.custom.label":"Пользовательский (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Пользовательский (config.toml)","composer.permissionsDropdown.default.label":"Разрешения по умолчанию","composer.permissionsDropdown.default.optionLabel":"Разрешения по умолчанию","composer.permissionsDropdown.default.tooltip":"Codex автоматически выполняет команды в песочнице","composer.permissionsDropdown.disabled.requirements":"Права доступа заблокированы в соответствии с файлом requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Полный доступ отключен в соответствии с требованиями файла requirements.toml","composer.permissionsDropdown.fullAccess.label":"Полный доступ","composer.permissionsDropdown.fullAccess.optionLabel":"Полный доступ","composer.permissionsDropdown.trigger.tooltip":"Изменение разрешений","composer.personalitySlashCommand.description.friendly":"Теплый, располагающий к сотрудничеству и готовый помочь","composer.personalitySlashCommand.description.pragmatic":"Краткий, ориентированный на решение задач и прямолинейный","composer.personalitySlashCommand.label.friendly":"Дружелюбный","composer.personalitySlashCommand.label.pragmatic":"Прагматичный","composer.personalitySlashCommand.notApplicableSuffix":"(Не относится к текущей модели)","composer.personalitySlashCommand.title":"Личность","composer.placeholder.cloudFollowUp.directFollowUp":"Продолжение выполнения этого задания в облаке","composer.placeholder.cloudFollowUp.local":"Создайте новую локальную задачу, которая ссылается на эту облачную задачу","composer.placeholder.cloudFollowUp.workingTree":"Создайте новую облачную задачу, которая будет включать ваш текущий код и ссылаться на эту задачу","composer.placeholder.localFollowUp.cloud":"Последующие действия в рамках новой облачной задачи","composer.placeholder.localFollowUp.locally":"Запросите внесение дополнительных изменений","composer.placeholder.newTask.cloud":"Попросите Codex выполнить любое действие в облаке","composer.placeholder.newTask.doAnything":"Попросите Codex сделать что-нибудь","composer.placeholder.newTask.locally":"Задайте Codex любой вопрос, используйте @ для добавления файлов, / для команд","composer.planModeDropdown":"Режим планирования","composer.planModeDropdown.ariaLabel":"Режим планирования","composer.planModeIndicator":"План","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Создать план с помощью Codex","composer.planModeIndicator.tooltipToggle":"для переключения","composer.planSlashCommand.disableDescription":"Режим планирования выключен","composer.planSlashCommand.enableDescription":"Режим планирования включен","composer.planSlashCommand.title":"Режим планирования","composer.priorContext.label":"Предыдущий контекст","composer.priorContext.removeAriaLabel":"Удалить предыдущий контекст","composer.queuedMessage.delete":"Удалить сообщение из очереди","composer.queuedMessage.edit":"Редактировать сообщение","composer.queuedMessage.more":"Действия с сообщениями в очереди","composer.queuedMessage.sendNow":"Управление","composer.queuedMessage.sendNowTooltip":"Отправить сейчас, не прерывая работу","composer.queuedMessage.turnOff":"Отключить постановку в очередь","composer.reasoningEffort.local.reasoning.tooltip":"Выберите усилие рассуждения","composer.remote.branchStartingPoint":"С какой ветки следует начать выполнение этой задачи?","composer.remote.branchesSectionHeading":"Ветки","composer.remote.currentEditsSuffix.followUp":"Создайте новую задачу, которая ссылается на эту облачную задачу.","composer.remote.currentEditsSuffix.useLocal":"с изменениями локального кода","composer.remote.directFollowUp":"Не используйте локальные изменения","composer.remote.errorLoadingBranches":"Ошибка загрузки веток","composer.remote.fromBranch":"Из {branch}","composer.remote.fromCurrentBranch":"От {branch} (текущий)","composer.remote.loadingMoreBranches":"Загрузка…","composer.remote.localFileStateHeading":"Состояние локального файла","composer.remote.localWorkingTree":"Использовать локальные изменения","composer.remote.startingPoint":"С какого кода следует начать выполнение этой задачи?","composer.reviewMode.branches.error":"Невозможно загрузить ветки","composer.reviewMode.branches.retry":"Повторить","composer.reviewMode.gitRoot.error":"Корень Git не найден","composer.reviewMode.option.baseBranch.simple":"Обзор базовой ветки","composer.reviewMode.option.unstaged.simple":"Просмотр незафиксированных изменений","composer.reviewMode.quickReviewError":"Не удалось начать проверку кода.","composer.reviewMode.title":"Обзор кода","composer.sandboxButton.unlock.disabled.tooltip":"Полный доступ отключен в соответствии с требованиями файла requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex может использовать экспериментальную «песочницу» Windows для ограничения доступа к файловой системе и сети.{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Включить песочницу Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Использовать только для чтения","composer.searchEnvironments":"Поиск окружений","composer.skillMentionList.app":"Приложение","composer.skillMentionList.loading":"Загрузка навыков…","composer.skillMentionList.noResults":"Навыков не обнаружено","composer.slashCommands.cloudEnvironment.title":"Облачное окружение","composer.slashCommands.dialogLabel":"Меню команд с косой чертой","composer.slashCommands.dialogTitle":"Команды с косой чертой","composer.slashCommands.disabledTooltip":"Начните новое обсуждение, чтобы использовать команды с косой чертой","composer.slashCommands.inputPlaceholder":"Поиск","composer.slashCommands.noResults":"Нет команд","composer.slashCommands.skillsGroup":"Навыки","composer.slashCommands.tooltip":"Просмотреть команды с косой чертой","composer.status.close":"Закрыть","composer.statusPlain.alertLabel":"Предупреждение:","composer.statusPlain.alertValue":"Осталось {remaining}% в {window}","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"Использовано {used} из {total}","composer.statusPlain.contextValueRemaining":"Остается {remaining}%","composer.statusPlain.heading":"Статус","composer.statusPlain.modelRateLimitSectionLabel":"Лимит {modelName}:","composer.statusPlain.rateLimitDays":"Лимит {count} д","composer.statusPlain.rateLimitFallbackLabel":"Лимит скорости:","composer.statusPlain.rateLimitHours":"Лимит {count} ч","composer.statusPlain.rateLimitLabelBase":"Лимит скорости","composer.statusPlain.rateLimitMinutes":"Лимит {count} м","composer.statusPlain.rateLimitPercent":"Остается {remaining}%","composer.statusPlain.rateLimitReset":"сброс {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"время сброса недоступно","composer.statusPlain.rateLimitUnavailable":"Недоступно","composer.statusPlain.sessionCopiedAriaLabel":"Идентификатор сеанса скопирован","composer.statusPlain.sessionCopiedTooltip":"Идентификатор скопирован","composer.statusPlain.sessionCopyAriaLabel":"Копировать идентификатор сеанса","composer.statusPlain.sessionCopyTooltip":"Копировать идентификатор","composer.statusPlain.sessionLabel":"Сеанс:","composer.statusSlashCommand.description":"Показать идентификатор потока, использование контекста и лимиты скорости","composer.statusSlashCommand.title":"Статус","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Невозможно отправить сообщение","composer.submit.emptyMessage":"Введите сообщение, чтобы начать","composer.submit.imageInputsUnsupported":"Удалите изображения или смените модели, чтобы отправить это сообщение.","composer.submit.loadingLocalConfig":"Загрузка…","composer.submit.missingCloudConfig":"Вы должны выбрать облачное окружение","composer.submit.missingCloudTurn":"Невозможно выполнить эту задачу","composer.submit.noWorkspace":"Добавьте проект, чтобы использовать Codex","composer.submit.waitForImageUploads":"Загрузка изображений…","composer.submitButtonTooltip.send":"Отправить","composer.submitButtonTooltip.stop":"Остановить","composer.worktreeEnvironment.create":"Создать местное окружение","composer.worktreeEnvironment.default":"Окружение по умолчанию","composer.worktreeEnvironment.error":"Ошибка загрузки окружений","composer.worktreeEnvironment.loading":"Загрузка окружений…","composer.worktreeEnvironment.title":"Местное окружение","composer.worktreeEnvironment.tooltip":"Выбрать местное окружение","composer.worktreeSetupFailed":"Не удалось настроить рабочее окружение. Проверьте наличие скрипта настройки в папке .codex/environments.","compoundButton.secondaryAction":"Вторичное действие","copyButton.copied":"Скопировано","copyButton.copiedAriaLabel":"Скопировано","copyButton.copy":"Копировать","copyButton.copyAriaLabel":"Копировать","copyButton.copyCode":"Копировать код","diff.actionButton.revertFile":"Восстановить файл","diff.actionButton.revertHunk":"Отменить","diff.actionButton.revertSection":"Отменить все","diff.actionButton.revertSectionLabel":"Отменить все","diff.actionButton.stageFile":"Файл сцены","diff.actionButton.stageHunk":"Сцена","diff.actionButton.stageSection":"Поставить все на сцену","diff.actionButton.stageSectionLabel":"Поставить все на сцену","diff.actionButton.unstageFile":"Отменить изменения файла","diff.actionButton.unstageHunk":"Отменить изменения","diff.actionButton.unstageSection":"Отменить все","diff.actionButton.unstageSectionLabel":"Отменить все","diff.fileHeader.toggle":"Переключить отображение различий в файлах","electron.onboarding.login.apikey.cancel":"Отменить","electron.onboarding.login.apikey.continue":"Продолжить","electron.onboarding.login.apikey.label":"API-ключ OpenAI","electron.onboarding.login.apikey.open":"Введите API-ключ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Отменить вход","electron.onboarding.login.chatgpt.continue":"Продолжить с ChatGPT","electron.onboarding.login.devbox":"Подключиться к удаленному SSH","electron.onboarding.login.error":"Войти в систему не удалось: {rawMessage}","electron.onboarding.login.snake.start":"Играть в змейку","electron.onboarding.login.sshConfig.cancel":"Отменить","electron.onboarding.login.sshConfig.continue":"Продолжить","electron.onboarding.login.sshConfig.hostnameLabel":"Имя хоста SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Лучший способ строить с агентами","electron.onboarding.login.title":"Добро пожаловать в Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Продолжить","electron.onboarding.welcome.doubleLimits.description":"В честь запуска приложения Codex до 2 апреля действуют удвоенные лимиты использования.","electron.onboarding.welcome.freego.description":"Доступ к Codex включен в ваш тарифный план бесплатно до 2 марта — давайте создадим что-нибудь вместе.","electron.onboarding.welcome.new.title.anon":"Добро пожаловать!","electron.onboarding.workspace.continue":"Продолжить","electron.onboarding.workspace.empty":"Добавьте проект чтобы продолжить","electron.onboarding.workspace.listLabel":"Доступные проекты","electron.onboarding.workspace.loading":"Загрузка проектов…","electron.onboarding.workspace.openFolder":"Добавить проект","electron.onboarding.workspace.selectAll":"Выбрать все","electron.onboarding.workspace.skip":"Пропустить","electron.onboarding.workspace.skip.error":"Не удалось создать новый проект: {message}","electron.onboarding.workspace.skip.error.unknown":"Неизвестная ошибка","electron.onboarding.workspace.skipping":"Создание нового проекта…","electron.onboarding.workspace.subtitle":"Codex сможет редактировать файлы и выполнять команды в выбранных папках.","electron.onboarding.workspace.title":"Выбрать проект","errorPage.list.checkSettings":"Попробуйте обновить настройки IDE","errorPage.list.configToml":"Проверьте свой config.toml на наличие недопустимых настроек","errorPage.list.downloadExtension":"Попробуйте скачать другую версию расширения","errorPage.list.runInWsl":"Проверьте свои настройки, чтобы отключить работу в WSL, если вы видите проблемы совместимости.","execApprovalRequest.menu.runAlways":"Да, и больше не задавать этот вопрос в текущем сеансе","execApprovalRequest.menu.runAlwaysWithAmendment":"Да, и больше не спрашивайте о командах, которые начинаются с {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Да, и больше не спрашивайте о командах, которые начинаются с","execApprovalRequest.menu.runOnce":"Да","execApprovalRequest.prompt":"Вы хотите выполнить эту команду?","execApprovalRequest.reject":"Нет","execFooter.exitCode":"Код выхода {code}","execFooter.exitCode.unknown":"неизвестный","execFooter.success":"Успех","feedback.dialog.category.badResult":"Плохой результат","feedback.dialog.category.bug":"Ошибка","feedback.dialog.category.goodResult":"Хороший результат","feedback.dialog.category.other":"Другое","feedback.dialog.descriptionPlaceholder":"Опишите проблему здесь","feedback.dialog.dismiss":"Удалить","feedback.dialog.includeLogsLabel":"Включить текущие журналы сеансов Codex","feedback.dialog.submit":"Отправить","feedback.dialog.submitError":"Мы не смогли отправить ваш отзыв. Повторите попытку через минуту.","feedback.dialog.title":"Отзыв","feedback.dialog.uploadedMessage.existingIssue":"существующая открытая проблема","feedback.dialog.uploadedMessage.openIssue":"открыть заявку на GitHub","feedback.dialog.uploadedMessage.withThread":"Отзыв отправлен. Если проблема сохранится, {openIssueLink} или укажите идентификатор темы в {existingIssueLink}.","feedback.dialog.uploadedTitle":"Отзыв загружен","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Удалить {filename}","header.back":"Назад","header.recentChats":"Задачи","header.recentTasks.seeAll":"Просмотреть все ({total})","home.header.getPlus":"Перейти на Plus","home.hero.letsBuild":"Давайте построим","homePage.mainContent":"Основное содержание","imageAttachment.defaultName":"изображение","imageAttachment.preview.close":"Закрыть предварительный просмотр изображения","imageAttachment.removeAriaLabel":"Удалить {filename}","implementPlanRequest.option.implement":"Да, реализовать этот план","implementPlanRequest.prompt":"Реализовать этот план?","inbox.archived.deleteError":"Не удалось удалить заархивированный запуск","inbox.archived.deleteRun":"Удалить заархивированный запуск","inbox.archived.deleteSuccess":"Удалена архивная ветка обсуждения. Просмотреть можно в разделе <settingsLink>Архивные ветки</settingsLink>.","inbox.archived.inlineLabel.auto":"Эта беседа была автоматически заархивирована. <learnMoreLink>Узнать больше</learnMoreLink>","inbox.archived.inlineLabel.manual":"Эта беседа была заархивирована.","inbox.archived.noMessageFound":"Сообщение не найдено","inbox.automations.createError":"Не удалось создать автоматизацию","inbox.automations.deleteConfirm.cancel":"Отменить","inbox.automations.deleteConfirm.confirm":"Удалить автоматизацию","inbox.automations.deleteConfirm.description":"Это приведет к окончательному удалению автоматизированного процесса и прекращению всех будущих запусков.","inbox.automations.deleteConfirm.title":"Удалить {name}?","inbox.automations.deleteError":"Не удалось удалить автоматизацию","inbox.automations.editTooltip":"Редактировать автоматизацию","inbox.automations.inProgress":"Выполняется","inbox.automations.new":"Новый","inbox.automations.newToolbar":"Новая автоматизация","inbox.automations.pauseTooltip":"Приостановить автоматизацию","inbox.automations.resumeTooltip":"Возобновить автоматизацию","inbox.automations.startingNow":"Начиная с этого момента","inbox.automations.startsIn":"Начало в {startTime}","inbox.automations.status.active":"Активно","inbox.automations.status.paused":"Приостановлено","inbox.automations.status.runs":"Запуски: {count}","inbox.automations.status.started":"Начато: {date}","inbox.automations.updateError":"Не удалось обновить автоматизацию","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Все","inbox.filter.ariaLabel":"Фильтровать элементы папки «Входящие»","inbox.filter.unread":"Непрочитано","inbox.list.archived":"Заархивировано","inbox.list.inProgress":"Выполняется","inbox.list.recent":"Завершено","inbox.list.upNext":"Запланировано","inbox.mode.automations":"Автоматизации","inbox.mode.automations.beta":"Бета","inbox.noDescription":"Описание не предоставлено","inbox.openThread":"Открыть беседу","inbox.rightPanel.emptySubtitle":"Автоматизируйте рабочие процессы, настроив выполнение задач по расписанию","inbox.rightPanel.emptySubtitle.learnMore":"Автоматизируйте рабочие процессы, настроив выполнение задач по расписанию. <link>Узнать больше</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# активная автоматизация} few {# активные автоматизации} many {# активных автоматизаций} other {# активные автоматизации}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Нет непрочитанных автоматизаций","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# непрочитанная автоматизация} few {# непрочитанные автоматизации} many {# непрочитанных автоматизаций} other {# непрочитанные автоматизации}}","inbox.rightPanel.emptyTitle":"Ни один элемент не выбран","inbox.rightPanel.noThread":"Для этого элемента нет отдельной беседы","inbox.rightPanel.quickStart.header":"Начать с шаблона","inbox.untitled":"Элемент папки «Входящие» без названия","loadingPage.documentationLink":"документация","loadingPage.errorDescription":"Codex аварийно завершился со следующей ошибкой:","loadingPage.errorDescription.documentation":"Нажмите «Обновить», чтобы перезапустить расширение Codex, или посетите наш {documentationLink} для получения дополнительной помощи.","loadingPage.errorSignal":"Некоторые вещи, которые стоит попробовать:","loadingPage.errorTitle":"Произошла ошибка","loadingPage.openConfigToml":"Открыть Config.toml","loadingPage.reload":"Перезагрузить","localConversation.contextCompacted":"Контекст автоматически сжат","localConversation.contextCompacting":"Автоматическое сжатие контекста","localConversation.forkedFromConversation":"Разветвлено из {threadTitle}","localConversation.merge.autoResolve.failed":"Не удалось выполнить запрос на автоматическое разрешение проблемы: {error}","localConversation.merge.autoResolve.sent":"Запрос на автоматическое разрешение отправлен","localConversation.merge.autoResolveMerge.missingConversation":"Автоматическое решение проблемы невозможно без активного обсуждения.","localConversation.merge.autoResolveMerge.request":"Автоматически разрешить конфликты слияния","localConversation.modelChanged":"Модель изменена с {fromModel} на {toModel}.","localConversation.modelChanged.warning.line1":"Изменение модели во время обсуждения приведет к снижению производительности.","localConversation.modelChanged.warning.line2":"Контекст может быть автоматически сжат.","localConversation.moveThread.createBranch.label":"Создать ветку","localConversation.moveToLocal.disabled.loading":"Загрузка…","localConversation.moveToLocal.modal.continue":"Продолжить","localConversation.moveToLocal.modal.destinationLabel":"Передвинуть в","localConversation.moveToLocal.modal.retry":"Повторить","localConversation.moveToWorktree.modal.back":"Назад","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Ветка уже существует.","localConversation.moveToWorktree.modal.branchesError":"Невозможно загрузить ветки","localConversation.moveToWorktree.modal.branchesLoading":"Загрузка веток…","localConversation.moveToWorktree.modal.branchesRetry":"Повторить","localConversation.moveToWorktree.modal.continue":"Продолжить","localConversation.moveToWorktree.modal.retry":"Повторить","localConversation.moveToWorktree.modal.trailingSlashError":"Название ветки не может заканчиваться символом /","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"new-branch","localConversation.personalityChanged":"Переключился на личность {personality}","localConversation.planSummary.collapse":"Свернуть сводные данные плана","localConversation.planSummary.collapseTooltip":"Свернуть","localConversation.planSummary.download":"Скачать план","localConversation.planSummary.expand":"Развернуть сводные данные плана","localConversation.planSummary.expandTooltip":"Развернуть","localConversation.planSummary.openInNewWindow":"Открыть","localConversation.planSummary.openInNewWindow.tooltip":"Открыть в новом окне","localConversation.planSummary.title":"План","localConversation.planSummary.titleWriting":"План написания","localConversation.planSummary.viewPlan":"Развернуть план","localConversation.remoteTaskCreated":"Создано {taskLink} в облаке Codex","localConversation.remoteTaskCreated.task":"задача","localConversation.scrollToBottomButton":"Прокрутить вниз","localConversation.sync.buttonLabel":"Передать в локальный","localConversation.sync.buttonLabel.tooltip":"Передавайте изменения между этим рабочим деревом и местным оформлением заказа.","localConversation.sync.modal.loading.title":"Передача изменений…","localConversation.sync.modal.noChanges":"Никаких изменений","localConversation.syncSetup.branchAriaLabel":"Имя ветки","localConversation.syncSetup.branchName":"Имя ветки","localConversation.syncSetup.branchPlaceholder.existing":"Выбрать существующую ветку","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Загрузка веток…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Уже используется","localConversation.syncSetup.checkoutClean":"Активная ветка: {branchName}","localConversation.syncSetup.checkoutDirty":"В настоящее время находится в ветке {branchName} с незафиксированными изменениями.","localConversation.syncSetup.checkoutError":"Не удалось переключиться на ветку: {message}","localConversation.syncSetup.checkoutLabel":"Переключиться локально сейчас","localConversation.syncSetup.checkoutOnLocal":"Передать в локальный","localConversation.syncSetup.checkoutPending":"Проверка локального статуса…","localConversation.syncSetup.checkoutUnavailable":"Локальная рабочая область недоступна","localConversation.syncSetup.checkoutUnknown":"Локальная ветка недоступна","localConversation.syncSetup.continue":"Продолжить","localConversation.syncSetup.createBranchError":"Не удалось установить ветку передачи: {message}","localConversation.syncSetup.error":"Что-то пошло не так: {message}","localConversation.syncSetup.error.workingTreeMissing":"Не удалось создать снимок рабочего дерева. Повторите попытку передачи.","localConversation.syncSetup.mode.ariaLabel":"Выбрать режим ветки","localConversation.syncSetup.mode.existing":"Существующая ветка","localConversation.syncSetup.mode.new":"Новая ветка","localConversation.syncSetup.noBranches":"Ветки не найдены","localConversation.syncSetup.overwriteError":"Ветка создана, но передача еще не завершена. Перед локальным клонированием выполните передачу вручную.","localConversation.syncSetup.setPrefix":"Настроить префикс","localConversation.syncSetup.subtitle":"Тестируйте и редактируйте изменения в рабочем каталоге локально. <a>Узнать больше</a>","localConversation.syncSetup.success.checkedOut":"Ветка создана и переключена на локальную","localConversation.syncSetup.success.notCheckedOut":"Ветка создана","localConversation.syncSetup.title":"Передать в локальную ветку","localConversation.syncWorktreeError.branchAriaLabel":"Имя ветки","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Выберите ветку для передачи, а затем повторите попытку загрузки изменений.","localConversation.syncWorktreeError.branchSetup.title":"Обновить ветку","localConversation.syncWorktreeError.branchUpdate.cta":"Обновите и повторите попытку.","localConversation.syncWorktreeError.branchUpdate.error":"Не удалось обновить ветку: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Что-то пошло не так: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Эта ветка не выбрана ни в одном рабочем дереве.","localConversation.syncWorktreeV2.applyUncommitted":"Применить","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Вам необходимо переключить ветку на локальную, чтобы применить незафиксированные изменения","localConversation.syncWorktreeV2.branches.empty":"Ветки не найдены","localConversation.syncWorktreeV2.branches.loading":"Загрузка веток…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Изменить ветку для передачи","localConversation.syncWorktreeV2.changeBranch.error":"Не удалось изменить ветку для передачи: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Применение не удалось","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Перезапись рабочего дерева не удалась","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Локальная перезапись не удалась","localConversation.syncWorktreeV2.commandError.back":"Назад","localConversation.syncWorktreeV2.commandError.body":"Во время передачи произошла ошибка при выполнении команды git. Просмотрите вывод и повторите попытку.","localConversation.syncWorktreeV2.commandError.retry":"Повторить","localConversation.syncWorktreeV2.description":"Передача изменений между локальной версией и этим рабочим деревом. <a>Узнать больше</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Выберите направление передачи","localConversation.syncWorktreeV2.error.generic":"Во время передачи произошла ошибка. Повторите попытку.","localConversation.syncWorktreeV2.localBranchLabel":"Локально","localConversation.syncWorktreeV2.noChanges":"Расчет изменений","localConversation.syncWorktreeV2.noChanges.summary":"Никаких изменений","localConversation.syncWorktreeV2.overwrite.local":"Перезаписать локально","localConversation.syncWorktreeV2.overwrite.worktree":"Перезаписать рабочее дерево","localConversation.syncWorktreeV2.partial.action.applyFailed":"Не удалось применить изменения","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Не удалось перезаписать локальные изменения","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Не удалось перезаписать изменения рабочего дерева","localConversation.syncWorktreeV2.partial.appliedLabel":"Применено","localConversation.syncWorktreeV2.partial.back":"Назад","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Устраните конфликты и попробуйте снова.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Конфликты","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# файл} few {# файла} many {# файлов} other {# файла}}","localConversation.syncWorktreeV2.partial.retry":"Повторить","localConversation.syncWorktreeV2.partial.skippedLabel":"Пропущено","localConversation.syncWorktreeV2.stateFailed.generic":"При получении изменений рабочего дерева для передачи произошла ошибка. Попробуйте еще раз.","localConversation.syncWorktreeV2.stateFailed.title":"Не удалось загрузить изменения в рабочем дереве","localConversation.syncWorktreeV2.statusError.diffUnknown":"Не удалось загрузить изменения в рабочем дереве.","localConversation.syncWorktreeV2.statusError.retry":"Повторить","localConversation.syncWorktreeV2.statusError.title":"Не удалось загрузить изменения локальной ветки","localConversation.syncWorktreeV2.statusError.unknown":"Информация о статусе ветки в данный момент недоступна. Повторите попытку позже.","localConversation.syncWorktreeV2.success.apply":"Изменения успешно применены","localConversation.syncWorktreeV2.success.overwrite":"Передача удалась","localConversation.syncWorktreeV2.title":"Передача изменений","localConversation.syncWorktreeV2.worktreeLabel":"Рабочее дерево","localConversation.userInputRequest.inProgress":"Спрашивает {count, plural, one {вопрос} few {вопроса} many {вопросов} other {вопроса}}","localConversation.userInputRequest.noAnswer":"Ответ не предоставлен","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Спросил","localConversation.userInputRequest.summary.count":"{count, plural, one {# вопрос} few {# вопроса} many {# вопросов} other {# вопроса}}","localConversation.workedFor":"Работал на протяжении {time}","localConversation.worktreeBranchSetup.action.create":"Создать","localConversation.worktreeBranchSetup.branchAriaLabel":"Имя ветки","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Создать новую ветку","localConversation.worktreeBranchSetup.checkoutDisabled":"Эта ветка уже выбрана в {location}","localConversation.worktreeBranchSetup.checkoutError":"Не удалось переключиться на ветку: {message}","localConversation.worktreeBranchSetup.createBranchError":"Не удалось установить ветку: {message}","localConversation.worktreeBranchSetup.error":"Что-то пошло не так: {message}","localConversation.worktreeBranchSetup.subtitle":"Создайте ветку для фиксации изменений, отправьте их в удаленный репозиторий и создайте запрос на включение из этой рабочей области. <a>Узнать больше.</a>","localConversation.worktreeBranchSetup.title":"Работайте здесь","localConversationPage.addWorktreeToSidebar.tooltip":"Сохраните как проект, чтобы иметь возможность создавать новые ветки из этого рабочего дерева","localConversationPage.addWorktreeToSidebarError":"Не удалось добавить проект","localConversationPage.commitAndCreatePrModal.errorTitle":"Не удалось зафиксировать изменения и создать запрос на включение","localConversationPage.commitAndCreatePrModal.successTitle":"Зафиксирован и создан запрос на включение","localConversationPage.commitAndPushModal.errorTitle":"Фиксация и отправка изменений не удались","localConversationPage.commitAndPushModal.successTitle":"Изменения зафиксированы и отправлены","localConversationPage.commitCreatePr.open":"Открыть запрос на включение","localConversationPage.commitCreatePr.successTitle":"Создан запрос на включение с вашими последними изменениями","localConversationPage.createBranchButtonLabel":"Ветка находится здесь","localConversationPage.createPrModal.baseBranch":"Основа","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Создать PR","localConversationPage.createPrModal.createDescription":"Создайте запрос на включение для ваших последних изменений.","localConversationPage.createPrModal.errorTitle":"Запрос на включение не выполнен","localConversationPage.createPrModal.headBranch":"Заголовок","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Открыть PR","localConversationPage.createPrModal.successTitle":"Запрос на включение создан","localConversationPage.createPrModal.title":"Создать запрос на включение","localConversationPage.createPrModal.viewDescription":"Для этой ветки уже существует запрос на включение.","localConversationPage.createPrModal.viewTitle":"Запрос на включение готов","localConversationPage.createPullRequestAuthGh":"Пройдите аутентификацию в GitHub CLI: выполните команду `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Информация о ветке недоступна","localConversationPage.createPullRequestButtonLabel":"Создать PR","localConversationPage.createPullRequestButtonLabel.loading":"Создание PR","localConversationPage.createPullRequestDefaultBranchMissing":"Информация о ветке по умолчанию недоступна","localConversationPage.createPullRequestError":"Не удалось создать запрос на включение","localConversationPage.createPullRequestExistingPullRequest":"Для этой ветки уже существует запрос на включение","localConversationPage.createPullRequestGhStatusMissing":"Загрузка статуса GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Установите GitHub CLI (gh) для создания запросов на включение","localConversationPage.createPullRequestNoRepo":"Репозиторий git не найден","localConversationPage.createPullRequestPushStatusMissing":"Загрузка статуса отправки…","localConversationPage.createPullRequestSetUpstream":"Перед созданием запроса на включение отправьте эту ветку в удаленный репозиторий","localConversationPage.createPullRequestSuccessToast":"Запрос на включение создан","localConversationPage.createPullRequestSwitchBranch":"Перед созданием запроса на включение переключитесь на соответствующую ветку разработки","localConversationPage.error.render":"Ошибка рендеринга локального разговора","localConversationPage.error.toast":"Обсуждение не найдено","localConversationPage.forcePushError":"Не удалось выполнить принудительную отправку","localConversationPage.generatePullRequestMessageError":"Не удалось сгенерировать заголовок и текст запроса на включение","localConversationPage.generatePullRequestMessageFailed":"Не удалось сгенерировать заголовок и текст запроса на включение.","localConversationPage.gitActionResult.branch":"Ветка","localConversationPage.gitActionResult.cancel":"Отменить","localConversationPage.gitActionResult.close":"Закрыть","localConversationPage.gitActionResult.tryAgain":"Попробуйте еще раз","localConversationPage.gitActions":"Действия Git","localConversationPage.newChat":"Новый чат","localConversationPage.openInTarget":"Открыть в","localConversationPage.openPrimaryTarget":"Открыть","localConversationPage.planItemsCompleted":"{completedItems} из {totalItems, plural, one {Выполнена # задача} few {Выполнены # задачи} many {Выполнены # задач} other {Выполнены # задачи}}","localConversationPage.pushAuthError":"Ошибка отправки: требуется многофакторная аутентификация","localConversationPage.pushBranchMissing":"Информация о ветке недоступна","localConversationPage.pushButtonLabel":"Push-уведомления","localConversationPage.pushButtonLabel.loading":"Отправка...","localConversationPage.pushError":"Не удалось отправить изменения","localConversationPage.pushModal.branchLabel":"Ветка","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Отменить","localConversationPage.pushModal.confirm":"Отправить","localConversationPage.pushModal.description":"Отправьте последние коммиты в удаленный репозиторий.","localConversationPage.pushModal.errorTitle":"Не удалось отправить","localConversationPage.pushModal.forcePush":"Принудительная отправка","localConversationPage.pushModal.successTitle":"Отправка выполнена","localConversationPage.pushModal.title":"Отправить изменения","localConversationPage.pushModal.tryAgain":"Попробуйте еще раз","localConversationPage.pushNoUpstream":"Перед отправкой изменений установите вышестоящую ветку для этой ветки","localConversationPage.pushNoUpstreamError":"Ошибка отправки: не настроена удаленная ветка","localConversationPage.pushNothingToPush":"Нет новых изменений для отправки","localConversationPage.pushRemoteChangedError":"Ошибка отправки: в удаленной ветке появились новые коммиты","localConversationPage.pushRemoteRejectedError":"Отправка отклонена удаленным сервером","localConversationPage.pushStatusMissing":"Загрузка статуса отправки…","localConversationPage.pushSuccessToast":"Отправленные изменения","localConversationPage.viewPullRequestButtonLabel":"Посмотреть PR","localConversationPage.viewPullRequestButtonLabel.loading":"Загрузка запроса на включение...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# файл} few {# файла} many {# файлов} other {# файла}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# список} few {# списка} many {# списков} other {# списка}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# поиск} few {# поисков} many {# поисков} other {# поисков}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Изучение","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Изучено","localConversationTurn.exploration.accordion.header.complete.withCounts":"Изучено {counts}","localConversationTurnStory.showContent":"Показать контент","localConversationTurnStory.streamContent":"Транслировать контент","localConversationTurnStory.toggleReasoning":"Показать рассуждение","localTaskRow.archiveError":"Не удалось заархивировать обсуждение","localTaskRow.resumeError":"Не удалось возобновить задачу","mermaidDiagram.ariaLabel":"Схема русалки","mermaidDiagram.copySource":"Скопировать Mermaid","mermaidDiagram.originalCode":"Исходный код русалки","notifications.permissions.description":"Показывать уведомления, когда требуются разрешения на отправку уведомлений","notifications.permissions.label":"Включить уведомления о разрешениях","notifications.turnMode.always":"Всегда","notifications.turnMode.description":"Задайте, когда Codex сообщает о завершении работы","notifications.turnMode.label":"Уведомления о завершении хода","notifications.turnMode.off":"Никогда","notifications.turnMode.unfocused":"Только в расфокусированном состоянии","patchApprovalRequest.approve":"Утвердить","patchApprovalRequest.menu.allowAlways":"Да, и больше не задавать этот вопрос в текущем сеансе","patchApprovalRequest.menu.allowForSession":"Да, и больше не задавать этот вопрос в текущем сеансе","patchApprovalRequest.menu.allowOnce":"Да","patchApprovalRequest.prompt":"Вы хотите внести эти изменения?","patchApprovalRequest.reject":"Нет","patchApprovalRequest.waitingForApproval":"Ожидание одобрения на редактирование файлов","pendingRequest.approvalExec.collapse":"Свернуть","pendingRequest.approvalExec.expand":"Развернуть","pendingRequestStory.toastAnswer":"Ответ: {answer}","pendingRequestStory.toastApprovalTitle":"Ответ с одобрением","pendingRequestStory.toastFollowupPrompt":"Подсказка: {prompt}","pendingRequestStory.toastFollowupTitle":"Сообщение отправлено","pendingRequestStory.toastNoAnswers":"Ответы не предоставлены","pendingRequestStory.toastQuestion":"Вопрос: {question}","pendingRequestStory.toastUnknownDecision":"Неизвестно","pendingRequestStory.toastUserInputTitle":"Представленные ответы","quickAction.request.codeReview.branches.new":"Пожалуйста, ознакомьтесь с изменениями {from} в отношении {to}","quickAction.request.codeReview.uncommitted.new":"Пожалуйста, просмотрите мои незафиксированные изменения","reasoningItem.thinking":"Думаю","reasoningItem.thought":"Думал","reasoningItem.thoughtWithElapsed":"Думал на протяжении {elapsed}","recentConversations.title":"Недавние обсуждения","recentTasks.worktreeInitFailedTitle":"Ошибка инициализации рабочего дерева","recentTasks.worktreeSettingUpTitle":"Настройка рабочего дерева","requestInputPanel.continue":"Продолжить","requestInputPanel.dismiss":"Скрыть","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Введите текст здесь","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Нет, и скажите Codex, что нужно сделать иначе","requestInputPanel.selectedBadge":"Выбрано","requestInputPanel.skip":"Пропустить","requestInputPanel.submit":"Отправить","review.commit.ariaLabel.includeUnstaged":"Включить незафиксированные","review.commit.buttonLabel":"Совершить","review.commit.disabled.committing":"Изменения фиксируются…","review.commit.disabled.loadingDiff":"Загрузка разницы…","review.commit.disabled.missingContext":"Добавить контекст, чтобы сгенерировать сообщение для фиксирования","review.commit.disabled.noChanges":"Нет изменений для фиксации","review.commit.disabled.noSelection":"Выберите изменения для фиксации","review.commit.disabled.unavailable":"В настоящее время функция фиксации изменений недоступна","review.commit.error":"Не удалось применить изменения","review.commit.form.changesToBeCommitted":"Изменения","review.commit.form.commitTo":"Ветка","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Продолжить","review.commit.form.title":"Зафиксировать внесенные изменения","review.commit.generate.emptyResponse":"Не удалось сгенерировать сообщение для фиксирования.","review.commit.generate.failed":"Не удалось сгенерировать сообщение для фиксирования: {error}","review.commit.generate.missingPrompt":"Добавьте контекст, чтобы сгенерировать сообщение для фиксирования.","review.commit.includeUnstaged":"Включить незафиксированные","review.commit.loading.description":"Подождите немного, это может занять несколько минут","review.commit.loading.step.commit.done":"Зафиксированные изменения","review.commit.loading.step.commit.pending":"Внесение изменений","review.commit.loading.step.createPr.done":"Создан запрос на включение","review.commit.loading.step.createPr.pending":"Создание запроса на включение","review.commit.loading.step.push.done":"Отправлено в ветку {branch}","review.commit.loading.step.push.pending":"Отправляется в ветку {branch}","review.commit.loading.title.commit":"Внесение изменений","review.commit.loading.title.createPr":"Создание запроса на включение","review.commit.loading.title.push":"Отправка изменений","review.commit.messageLabel":"Зафиксировать сообщение","review.commit.messagePlaceholder":"Оставьте поле пустым, чтобы сообщение о фиксировании было сгенерировано автоматически","review.commit.nextSteps":"Следующие шаги","review.commit.nextSteps.commit":"Зафиксировать","review.commit.nextSteps.commitAndCreate":"Зафиксировать и создать запрос на включение","review.commit.nextSteps.commitAndPush":"Зафиксировать и отправить","review.commit.nextSteps.prRequiresGh":"Требуется GitHub CLI: {command}","review.commit.rows.changes":"Изменения","review.commit.rows.commitCount":"{count, plural, one {# фиксирование} few {# фиксирования} many {# фиксирований} other {# фиксирования}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# фиксирование} few {# фиксирования} many {# фиксирований} other {# фиксирования}} и {stats}","review.commit.rows.fileCount":"{count, plural, one {# файл} few {Файлы: #} many {Файлы: #} other {Файлы: #}}","review.commit.state.error.body":"При выполнении операции фиксации произошла ошибка. Проверьте статус git и повторите попытку.","review.commit.state.error.title":"Фиксация изменений не удалась","review.commit.state.success.title":"Изменения зафиксированы","review.commit.untracked.loadingStats":"Загрузка статистики неотслеживаемых изменений…","reviewFindingAttachments.count":"{count, plural, one {# результат} few {# результата} many {# выводов} other {# вывода}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Отредактируйте файл конфигурации, чтобы настроить поведение агента","settings.agent.configuration.configToml.docs":"Документы","settings.agent.configuration.configToml.restartNote":"После внесения изменений перезапустите Codex, чтобы применить их","settings.agent.configuration.subtitle":"Эти настройки применяются везде, где используется Codex","settings.automations.banner.danger":"Автоматизированные процессы выполняются с использованием ваших настроек песочницы по умолчанию, которые в настоящее время установлены на полный доступ. Запуск фоновых автоматизированных процессов с полным доступом сопряжен с повышенным риском, поскольку Codex может изменять файлы, выполнять команды и получать доступ к сети без вашего разрешения. Рекомендуется обновить настройки песочницы до режима записи в рабочую область и использовать <rulesDocsLink>правила</rulesDocsLink> для выборочного определения того, какие команды агент может выполнять с полным доступом.","settings.automations.banner.defaultHowTo.default":"Автоматизированные процессы выполняются с использованием стандартных настроек изолированной среды. Вызовы инструментов завершатся ошибкой, если для их работы потребуется изменение файлов за пределами рабочей области, доступ к сети или взаимодействие с приложениями на вашем компьютере. Вы можете выборочно разрешить выполнение команд за пределами изолированной среды, используя <rulesDocsLink>правила</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Автоматизированные процессы выполняются с использованием стандартных настроек изолированной среды, которые установлены в режим только для чтения. Вызовы инструментов завершатся ошибкой, если для их работы требуется изменение файлов, доступ к сети или взаимодействие с приложениями на вашем компьютере. Рекомендуется изменить настройки изолированной среды на режим записи в рабочую область.","settings.automations.cancel":"Отменить","settings.automations.create":"Создать","settings.automations.cwdEmpty":"Нет доступных папок проектов","settings.automations.cwdLabel":"Проекты","settings.automations.cwdPlaceholder":"Выберите папку","settings.automations.cwdSubtitle":"Если вы хотите, чтобы автоматизированный процесс выполнялся в определенной ветке, вы можете указать это в своем запросе.","settings.automations.delete":"Удалить","settings.automations.dialog.editTitle":"Редактировать автоматизацию","settings.automations.dialog.newTitle":"Новая автоматизация","settings.automations.dialog.subtitle":"Автоматизируйте повторяющиеся задачи в фоновом режиме. Codex добавляет результаты в папку входящих сообщений или автоматически архивирует задачу, если сообщать нечего. <learnMoreLink>Узнать больше</learnMoreLink>","settings.automations.dialog.title":"Создать автоматизацию","settings.automations.executionCopy.git":"Автоматизированные процессы выполняются в фоновом режиме на выделенных рабочих деревьях.","settings.automations.executionCopy.nonGit":"В проектах, не использующих систему контроля версий, автоматизированные процессы выполняются непосредственно в каталоге проекта. Рекомендуется использовать Git, чтобы обеспечить возможность выполнения процессов в фоновых рабочих деревьях.","settings.automations.executionEnvironment.local":"Местный","settings.automations.executionEnvironment.worktree":"Рабочее дерево","settings.automations.loading":"Загрузка…","settings.automations.nameLabel":"Имя","settings.automations.namePlaceholder":"Проверьте наличие проблем с системой мониторинга","settings.automations.pause":"Пауза","settings.automations.promptLabel":"Подсказка","settings.automations.promptPlaceholder":"искать сбои в $Sentry","settings.automations.resume":"Возобновить","settings.automations.rruleSummaryFallback":"Индивидуальное расписание","settings.automations.runNow":"Тест","settings.automations.save":"Сохранить","settings.automations.scheduleBadge.dayCount":"{count} д","settings.automations.scheduleBadge.interval":"{count} ч","settings.automations.scheduleBadge.weekdays":"Будние дни","settings.automations.scheduleBadge.weekends":"Выходные дни","settings.automations.scheduleHeader":"Расписание","settings.automations.scheduleHours":"часы","settings.automations.scheduleLabel":"Запускать каждый","settings.automations.scheduleMode.daily":"Ежедневно","settings.automations.scheduleMode.interval":"Интервал","settings.automations.scheduleModeLabel":"Тип расписания","settings.automations.scheduleSummary.daily":"Ежедневно в {time}","settings.automations.scheduleSummary.interval":"Каждые {count} ч","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# день} few {# дня} many {# дня} other {# дня}}","settings.automations.scheduleSummary.intervalDays":"{interval} в {days}","settings.automations.scheduleSummary.intervalHourly":"Ежечасно","settings.automations.scheduleSummary.singleDay":"{day} в {time}","settings.automations.scheduleSummary.weekdays":"В будние дни в {time}","settings.automations.scheduleSummary.weekdaysLabel":"будние дни","settings.automations.scheduleSummary.weekends":"В выходные дни в {time}","settings.automations.scheduleSummary.weekendsLabel":"выходные дни","settings.automations.scheduleSummary.weekly":"{days} в {time}","settings.automations.scheduleWeekdays":"Включено","settings.automations.weekdayState.excluded":"Исключено","settings.automations.weekdayState.included":"Включено","settings.conversationDetail.steps":"Шаги","settings.conversationDetail.steps.description":"Скрыть команды и результаты выполнения","settings.conversationDetail.stepsWithCommands":"Шаги с использованием команд кода","settings.conversationDetail.stepsWithCommands.description":"Показать команды, свернуть вывод","settings.conversationDetail.stepsWithOutput":"Шаги с выводом кода","settings.conversationDetail.stepsWithOutput.description":"Показать команды и развернуть вывод","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Нет архивированных чатов.","settings.dataControls.archivedChats.error":"Не удалось загрузить архивные чаты.","settings.dataControls.archivedChats.loading":"Загрузка архивных чатов…","settings.dataControls.archivedChats.unarchive":"Разархивировать","settings.dataControls.archivedChats.unarchiveError":"Не удалось разархивировать чат","settings.dataControls.archivedChats.unarchiveSuccess":"Беседа восстановлена ​​из архива. <viewNowLink>Просмотреть сейчас</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Беседа не заархивирована.","settings.dataControls.archivedChats.untitled":"Безымянный чат","settings.dataControls.archivedChats.viewNow":"Посмотреть сейчас","settings.editRow.headerPlaceholder":"Ключ","settings.editRow.removeEntry":"Удалить запись","settings.editRow.valuePlaceholder":"Значение","settings.general.appearance":"Внешний вид","settings.general.appearance.codeFont":"Шрифт кода","settings.general.appearance.codeFont.description":"Настройте шрифт и размер текста, используемого для отображения кода в чатах и ​​при сравнении версий","settings.general.appearance.codeFontFamily":"Семейство шрифтов для кода","settings.general.appearance.codeFontSize":"Размер шрифта кода","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Настройте окна так, чтобы в них использовался сплошной фон вместо системной прозрачности","settings.general.appearance.opaqueWindows.label":"Использовать непрозрачный фон окна","settings.general.appearance.sansFontFamily":"Семейство шрифтов Sans","settings.general.appearance.sansFontFamily.description":"Настройте шрифт, используемый в пользовательском интерфейсе Codex","settings.general.appearance.sansFontSize":"Размер шрифта Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Показывать полноэкранные эффекты празднования, пока GPT-5.3-Codex-Spark выполняет первый ход","settings.general.appearance.sparkCelebrationEffects.label":"Праздничные эффекты Spark","settings.general.appearance.theme":"Тема","settings.general.appearance.theme.dark":"Темный","settings.general.appearance.theme.description":"Используйте светлую, темную тему или выберите тему, соответствующую настройкам вашей системы","settings.general.appearance.theme.light":"Светлый","settings.general.appearance.theme.system":"Системный","settings.general.appearance.usePointerCursors.description":"Измените курсор на указатель при наведении на интерактивные элементы","settings.general.appearance.usePointerCursors.label":"Используйте курсоры-указатели","settings.general.enterBehavior.description":"При включении этой функции для отправки многострочных запросов необходимо нажать {modifierSymbol} + Enter.","settings.general.enterBehavior.label":"Для отправки длинных запросов необходимо нажать {modifierSymbol} + Enter","settings.general.experimentalFeatures":"Экспериментальные функции (бета)","settings.general.experimentalFeatures.empty":"Нет доступных бета-экспериментальных функций.","settings.general.experimentalFeatures.loading":"Загрузка экспериментальных функций...","settings.general.experimentalFeatures.restartNote":"Перезапустите Codex, чтобы применить экспериментальные изменения функций","settings.general.experimentalFeatures.toggle":"Переключить {featureName}","settings.general.followUpQueueMode.description":"Поставьте запросы на обработку в очередь, пока работает Codex, или управляйте текущим процессом. Нажмите {invertFollowUpShortcutLabel} , чтобы выполнить противоположное действие для одного сообщения.","settings.general.followUpQueueMode.interrupt":"Управление","settings.general.followUpQueueMode.label":"Последующее поведение","settings.general.followUpQueueMode.queue":"Очередь","settings.general.notifications":"Уведомления","settings.general.power.preventSleepWhileRunning.description":"Не позволяет компьютеру переходить в спящий режим, пока Codex выполняет задачу.","settings.general.power.preventSleepWhileRunning.label":"Не допускать засыпания во время работы","settings.git.branchPrefix.ariaLabel":"Префикс ветки","settings.git.branchPrefix.description":"Префикс, используемый при создании новых веток в Codex","settings.git.branchPrefix.label":"Префикс ветки","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Не удалось сохранить префикс ветки","settings.git.branchPrefix.save.success":"Сохраненный префикс ветки","settings.git.commitInstructions.ariaLabel":"Инструкции для фиксирования","settings.git.commitInstructions.description":"Добавлено в подсказки для генерации сообщений фиксирований","settings.git.commitInstructions.label":"Инструкции для фиксирования","settings.git.commitInstructions.placeholder":"Добавьте рекомендации по написанию сообщений фиксирований...","settings.git.commitInstructions.save":"Сохранить","settings.git.commitInstructions.save.error":"Не удалось сохранить инструкции по фиксированиям","settings.git.commitInstructions.save.success":"Сохранены инструкции по фиксированиям","settings.git.forcePush.ariaLabel":"Всегда выполнять принудительную отправку изменений","settings.git.forcePush.description":"Используйте --force-with-lease при отправке изменений из Codex","settings.git.forcePush.label":"Всегда выполнять принудительную отправку изменений","settings.git.forcePush.save.disabled":"Принудительная отправка изменений всегда отключена","settings.git.forcePush.save.enabled":"Принудительная отправка изменений всегда включена","settings.git.forcePush.save.error":"Не удалось сохранить настройку принудительной отправки изменений","settings.git.prInstructions.ariaLabel":"Инструкции по созданию запроса на включение","settings.git.prInstructions.description":"Добавляется к текстам запросов на включение, созданных с помощью Codex","settings.git.prInstructions.label":"Инструкции по созданию запроса на включение","settings.git.prInstructions.placeholder":"Добавьте рекомендации по созданию запросов на включение...","settings.git.prInstructions.save":"Сохранить","settings.git.prInstructions.save.error":"Не удалось сохранить инструкции по созданию запроса на включение","settings.git.prInstructions.save.success":"Сохраненные инструкции по запросу на включение","settings.ide.defaultOpenTarget.description":"Где по умолчанию открываются файлы и папки","settings.ide.defaultOpenTarget.label":"Место назначения, открываемое по умолчанию","settings.ide.defaultOpenTarget.placeholder":"Цели не найдены","settings.ide.language.auto":"Автоматически определять","settings.ide.language.autoOption":"Автоматически определять","settings.ide.language.description":"Язык пользовательского интерфейса приложения","settings.ide.language.label":"Язык","settings.ide.language.search":"Поиск языков","settings.layout.actionButton":"Перезапустить расширение","settings.layout.actionTitle":"Настройки с возможностью выполнения действий","settings.layout.fullWidthTitle":"Настройки (полная ширина)","settings.layout.title":"Настройки","settings.localEnvironments.actions.add":"Добавить действие","settings.localEnvironments.actions.add.description":"Создайте новую команду, которую можно будет запускать с панели инструментов.","settings.localEnvironments.actions.add.save":"Сохранить","settings.localEnvironments.actions.empty":"Добавьте действие для выполнения команд с локальной панели инструментов.","settings.localEnvironments.actions.icon.debug":"Отладить","settings.localEnvironments.actions.icon.run":"Запустить","settings.localEnvironments.actions.icon.test":"Тест","settings.localEnvironments.actions.icon.tool":"Инструмент","settings.localEnvironments.actions.item.button.delete":"Удалить","settings.localEnvironments.actions.item.command":"Сценарий действий","settings.localEnvironments.actions.item.name":"Имя","settings.localEnvironments.actions.item.platforms":"Платформы","settings.localEnvironments.actions.item.platforms.help":"Работает только на определенной операционной системе.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Выбор платформы","settings.localEnvironments.actions.item.platforms.specific":"Для определенной платформы","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Удалить","settings.localEnvironments.actions.title":"Действия","settings.localEnvironments.breadcrumb.back":"Назад","settings.localEnvironments.breadcrumb.edit":"редактировать","settings.localEnvironments.breadcrumb.root":"Окружения","settings.localEnvironments.environment.actions.description":"Эти действия могут выполнять любые команды и будут отображаться в заголовке.","settings.localEnvironments.environment.actionsLabel":"Действия","settings.localEnvironments.environment.create":"Создать местное окружение","settings.localEnvironments.environment.defaultName":"местный","settings.localEnvironments.environment.edit":"Редактировать местное окружение","settings.localEnvironments.environment.empty":"Для этого проекта пока не настроено локальное окружение.","settings.localEnvironments.environment.name":"Имя","settings.localEnvironments.environment.setup":"Скрипт установки","settings.localEnvironments.environment.setup.description":"Этот скрипт будет выполняться при создании рабочего дерева.","settings.localEnvironments.environment.setup.hint":"Выполняется в корневой папке проекта.","settings.localEnvironments.environment.setup.platformOverrides":"Переопределения платформы","settings.localEnvironments.environment.setup.platformOverrides.add":"Добавить {platform} скрипт установки","settings.localEnvironments.environment.setup.platformOverrides.description":"Переопределяет стандартный скрипт для определенных операционных систем.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Удалить","settings.localEnvironments.environment.setup.script":"Скрипт","settings.localEnvironments.environment.title":"Подробности окружения","settings.localEnvironments.file.missing":"Сохраните, чтобы создать этот файл в первый раз.","settings.localEnvironments.file.parseError":"Не удалось проанализировать существующий файл. Сохранение перезапишет его. ({error})","settings.localEnvironments.file.path":"{path} файл","settings.localEnvironments.file.readError":"Не удалось загрузить данные местного окружения. ({error})","settings.localEnvironments.file.title":"Файл местного окружения","settings.localEnvironments.loading.body":"Получение конфигурации вашего проекта.","settings.localEnvironments.loading.title":"Загрузка местных окружений","settings.localEnvironments.preview.devOnly":"(Только для разработчиков)","settings.localEnvironments.preview.save":"Сохранить","settings.localEnvironments.preview.saveError":"Не удалось сохранить файл. ({error})","settings.localEnvironments.preview.title":"Предварительный просмотр","settings.localEnvironments.save.disabled.name":"Добавьте имя окружения для сохранения.","settings.localEnvironments.save.disabled.noChanges":"Нет изменений для сохранения.","settings.localEnvironments.save.disabled.saving":"Сохранение…","settings.localEnvironments.save.success":"Сохранено местное окружение","settings.localEnvironments.unavailable.body":"Не удалось загрузить настройки локального окружения для этого проекта.","settings.localEnvironments.unavailable.title":"Местные окружения недоступны","settings.localEnvironments.workspace.add":"Добавить проект","settings.localEnvironments.workspace.title":"Проект","settings.localEnvironments.workspaceSelect.addLabel":"Добавить окружение","settings.localEnvironments.workspaceSelect.description":"Локальные окружения определяют, как Codex должен настраивать рабочие каталоги для проекта. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Проекты пока отсутствуют. Добавьте рабочую область, чтобы настроить локальные окружения.","settings.localEnvironments.workspaceSelect.errorLabel":"Окружение нуждается во внимании","settings.localEnvironments.workspaceSelect.learnMore":"Узнать больше","settings.localEnvironments.workspaceSelect.listLabel":"Доступные проекты","settings.localEnvironments.workspaceSelect.loading":"Загрузка проектов.","settings.localEnvironments.workspaceSelect.loadingLabel":"Загрузка окружения","settings.localEnvironments.workspaceSelect.title":"Выбрать проект","settings.localEnvironments.workspaceSelect.viewAction":"Просмотр","settings.mcp.addServer":"Добавить сервер","settings.mcp.app.configure":"Конфигурация","settings.mcp.app.connect":"Подключить","settings.mcp.apps.refresh":"Обновить","settings.mcp.detail.addArgument":"Добавить аргумент","settings.mcp.detail.addEnvVar":"Добавить переменную окружения","settings.mcp.detail.addEnvVarPassthrough":"Добавить переменную","settings.mcp.detail.args":"Аргументы","settings.mcp.detail.back":"Назад","settings.mcp.detail.command":"Команда на запуск","settings.mcp.detail.cwd":"Рабочая директория","settings.mcp.detail.docs":"Открыть документацию MCP","settings.mcp.detail.docs.link":"Документы","settings.mcp.detail.envVarPassthrough":"Передача переменных окружения","settings.mcp.detail.envVars":"Переменные окружения","settings.mcp.detail.http.addEnvHeader":"Добавить переменную","settings.mcp.detail.http.addHeader":"Добавить заголовок","settings.mcp.detail.http.bearerToken":"Переменная окружения токена Bearer","settings.mcp.detail.http.envHeaders":"Заголовки из переменных окружения","settings.mcp.detail.http.headers":"Заголовки","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Имя","settings.mcp.detail.save":"Сохранить","settings.mcp.detail.switchTransportNotice":"Если вы хотите сменить тип сервера MCP, сначала удалите текущую версию.","settings.mcp.detail.titleExisting":"Обновление {name} MCP","settings.mcp.detail.titleNew":"Подключиться к пользовательскому MCP","settings.mcp.detail.transport.http":"Потоковая передача HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Удалить","settings.mcp.empty":"Пользовательские MCP-серверы не подключены","settings.mcp.myServers":"Пользовательские серверы","settings.mcp.partnerServer.description.figma":"Создавайте более качественный код, используя полный контекст из Figma","settings.mcp.partnerServer.description.github":"Интегрируйте с API GitHub для автоматизации рабочих процессов и извлечения данных","settings.mcp.partnerServer.description.linear":"Интеграция с системой отслеживания задач и управления проектами Linear","settings.mcp.partnerServer.description.notion":"Читайте документацию, обновляйте страницы, управляйте задачами","settings.mcp.partnerServer.description.playwright":"Используйте автоматизацию браузера для разработки и тестирования пользовательского интерфейса.","settings.mcp.partnerServer.install":"Установить","settings.mcp.partnerServer.installAndAuthenticate":"Установить и пройти аутентификацию","settings.mcp.partnerServer.logoAlt":"Логотип {label}","settings.mcp.partnerServer.manage":"Управление","settings.mcp.partnerServer.vendor":"по {vendor}","settings.mcp.recommendedServers":"Рекомендуемые серверы","settings.mcp.restartApp":"Перезапустить","settings.mcp.restartExtension":"Перезапустить расширение","settings.mcp.server.enable":"Включить","settings.mcp.server.login":"Аутентифицировать","settings.mcp.server.settings":"Настройки","settings.multiselect.createOption":"Создать «{value}»","settings.multiselect.removeOption":"Удалить","settings.nav.account":"Учетная запись","settings.nav.agent":"Конфигурация","settings.nav.ariaLabel":"Настройки","settings.nav.back":"Вернуться в приложение","settings.nav.data-controls":"Архивированные беседы","settings.nav.environments":"Облачное окружение","settings.nav.externalTooltip":"[альфа] Открывается в браузере","settings.nav.general-settings":"Общее","settings.nav.git-settings":"Git","settings.nav.local-environments":"Окружения","settings.nav.mcp-settings":"Серверы MCP","settings.nav.notImplemented":"[альфа] Недоступно в альфа-версии","settings.nav.personalization":"Персонализация","settings.nav.skills-settings":"Навыки","settings.nav.usage-analytics":"Использование и аналитика","settings.nav.worktrees":"Рабочие деревья","settings.openSourceLicenses.back":"Назад","settings.openSourceLicenses.loading":"Загрузка…","settings.openSourceLicenses.missing":"Уведомления от третьих лиц не обнаружены.","settings.openSourceLicenses.notSupported":"Недоступно на этом хосте.","settings.openSourceLicenses.rowDescription":"Уведомления от третьих лиц о включенных в комплект зависимостях","settings.openSourceLicenses.rowLabel":"Лицензии с открытым исходным кодом","settings.openSourceLicenses.subtitle":"Уведомления от третьих лиц относительно зависимостей, используемых в этом приложении","settings.openSourceLicenses.title":"Лицензии с открытым исходным кодом","settings.openSourceLicenses.view":"Просмотр","settings.personalization.agents.description":"Отредактируйте инструкции, чтобы адаптировать Codex под ваши потребности. {learnMore}","settings.personalization.agents.learnMore":"Узнать больше","settings.personalization.agents.loadError":"Не удалось загрузить agents.md.","settings.personalization.agents.loading":"Загрузка agents.md…","settings.personalization.agents.placeholder":"Добавьте свои собственные инструкции…","settings.personalization.agents.retry":"Повторить","settings.personalization.agents.save":"Сохранить","settings.personalization.agents.save.error":"Не удалось сохранить agents.md","settings.personalization.agents.save.success":"Сохранен agents.md","settings.personalization.agents.title":"Пользовательские инструкции","settings.personalization.personality.description":"Выберите тон по умолчанию для ответов Codex","settings.personalization.personality.label":"Личность","settings.sample.contentBody":"Используйте этот макет, чтобы расположить панели настроек с одинаковым интервалом.","settings.sample.contentTitle":"Пример блока контента","settings.section.account":"Учетная запись","settings.section.agent":"Конфигурация","settings.section.data-controls":"Архивированные беседы","settings.section.environments":"Облачное окружение","settings.section.external":"Откроется в вашем браузере во время альфа-тестирования","settings.section.general-settings":"Общее","settings.section.git-settings":"Git","settings.section.local-environments":"Окружения","settings.section.mcp-settings":"Серверы MCP","settings.section.mcp-settings.docs":"Документы","settings.section.mcp-settings.subtitle":"Подключайте внешние инструменты и источники данных.","settings.section.personalization":"Персонализация","settings.section.skills-settings":"Навыки","settings.section.unavailable":"Пока недоступно в альфа-версии","settings.section.usage-analytics":"Использование и аналитика","settings.section.worktrees":"Рабочие деревья","settings.threadDetail.description":"Выберите, какой объем вывода команд отображать в беседах","settings.threadDetail.label":"Подробности беседы","settings.worktrees.conversation.untitled":"Обсуждение без названия","settings.worktrees.delete.error":"Не удалось удалить рабочее дерево","settings.worktrees.empty.body":"Рабочие деревья, созданные с помощью Codex, будут отображаться здесь.","settings.worktrees.empty.title":"Пока нет рабочих деревьев","settings.worktrees.error.body":"При загрузке рабочих деревьев произошла ошибка.","settings.worktrees.error.retry":"Повторить","settings.worktrees.error.title":"Не удалось загрузить рабочие деревья","settings.worktrees.loading.body":"Получение сведений о рабочем дереве.","settings.worktrees.loading.title":"Загрузка рабочих деревьев","settings.worktrees.repository.loading":"Загрузка метаданных репозитория...","settings.worktrees.repository.unknown":"Неизвестный репозиторий","settings.worktrees.row.conversations":"Обсуждения","settings.worktrees.row.conversations.empty":"С этим рабочим деревом не связано ни одного обсуждения.","settings.worktrees.row.conversations.loading":"Загрузка обсуждения…","settings.worktrees.row.delete":"Удалить","settings.worktrees.row.title":"Рабочее дерево","sidebarElectron.addWorkspaceRoot":"Добавить новый проект","sidebarElectron.archiveThread":"Архивировать беседу","sidebarElectron.archiveThreadError":"Не удалось заархивировать беседу","sidebarElectron.collapseFolder":"Свернуть папку","sidebarElectron.createStableWorktree.dialog.cancel":"Отменить","sidebarElectron.createStableWorktree.dialog.create":"Создать","sidebarElectron.debugNavLink":"Отладить","sidebarElectron.editWorkspaceRootOptionName":"Изменить имя","sidebarElectron.expandFolder":"Развернуть папку","sidebarElectron.groupByMenu.recency":"Хронологический список","sidebarElectron.groupByMenu.title":"Организовать","sidebarElectron.groupByMenu.workspace":"По проекту","sidebarElectron.inboxRouteNavLink":"Автоматизации","sidebarElectron.markThreadUnread":"Отметить как непрочитанное","sidebarElectron.missingWorkspaceRoot":"Эта папка проекта была удалена или перемещена","sidebarElectron.newThread":"Новая беседа","sidebarElectron.newThreadInGroup":"Начать новую ветку обсуждения в {folder}","sidebarElectron.noRecentThreads":"Нет недавних бесед","sidebarElectron.noTasks":"Нет бесед","sidebarElectron.noTasks.start":"Добавить новый проект","sidebarElectron.noTasksWithFilter":"Ни одна беседа не соответствует заданным фильтрам","sidebarElectron.pinnedThreads":"Закрепленные беседы","sidebarElectron.recentNavLink":"Беседы","sidebarElectron.recentThreads":"Недавнее беседы","sidebarElectron.removeWorkspaceRootOption":"Удалить","sidebarElectron.renameThread":"Переименовать беседу","sidebarElectron.renameThreadDialogAriaLabel":"Название беседы","sidebarElectron.renameThreadDialogCancel":"Отменить","sidebarElectron.renameThreadDialogPlaceholder":"Добавить название…","sidebarElectron.renameThreadDialogSave":"Сохранить","sidebarElectron.renameThreadDialogSubtitle":"Сделайте его коротким и легко запоминающимся.","sidebarElectron.renameThreadDialogTitle":"Переименовать беседу","sidebarElectron.renameThreadError":"Не удалось переименовать беседу","sidebarElectron.renameWorkspaceRootOptionLabel":"Отображаемое имя","sidebarElectron.showLess":"Показать меньше","sidebarElectron.showMenu.all":"Все беседы","sidebarElectron.showMenu.relevant":"Соответствующий","sidebarElectron.showMenu.relevantHint":"Отображать только недавние обсуждения для текущей ветки, рабочих деревьев или другие обсуждения, требующие вашего внимания","sidebarElectron.showMenu.title":"Показать","sidebarElectron.showMenu.tooltip":"Фильтруйте, сортируйте и систематизируйте беседы","sidebarElectron.showMenu.trigger":"Фильтрация тем в боковой панели","sidebarElectron.showMore":"Показать больше","sidebarElectron.skillsRouteNavLink":"Навыки","sidebarElectron.sortMenu.created":"Создано","sidebarElectron.sortMenu.title":"Сортировать по","sidebarElectron.sortMenu.updated":"Обновлено","sidebarElectron.taskNavigation":"Папки автоматизаций","sidebarElectron.tasksInFolder":"Автоматизации в {folder}","sidebarElectron.workspaceOptions":"Действия по проекту для {folder}","sidebarElectron.worktreeGroupTooltip":"Это рабочее дерево git","skills.appsPage.createSkill":"Новый навык","skills.appsPage.empty.skills":"Навыков не обнаружено","skills.appsPage.search.skills":"Поиск навыков","skills.appsPage.search.skills.label":"Поиск навыков","skills.appsPage.section.installedApps":"Установлено","skills.appsPage.section.skills":"Навыки","skills.appsPage.subheading":"Наделите Codex сверхспособностями. <link>Узнать больше</link>","skills.appsPage.tab.recommended":"Рекомендуется","skills.appsPage.tab.skills":"Навыки","skills.card.contentsError":"Не удалось загрузить содержимое навыка.","skills.card.disable":"Отключить","skills.card.disableSuccess":"{skillName} навык отключен","skills.card.disabledBadge":"Отключено","skills.card.enable":"Включить","skills.card.enableSuccess":"{skillName} навык включен","skills.card.loadingContents":"Загрузка содержимого навыков…","skills.card.more":"Больше действий","skills.card.open":"Открыть","skills.card.removeFailed":"Не удалось удалить навык","skills.card.removeSuccess":"{skillName} навык удален","skills.card.toggleEnabledError":"Не удалось обновить навык","skills.card.try":"Попробовать","skills.card.trySkill":"Попробовать навык","skills.card.uninstall":"Удалить","skills.hero.dotLabel":"Перейти на слайд {index}","skills.hero.next":"Следующий демонстрируемый навык","skills.hero.trySkill":"Попробовать навык","skills.page.createSkill":"Новый навык","skills.page.empty":"Навыков не обнаружено","skills.page.filteredEmpty":"Ни один навык не соответствует заданным вами фильтрам","skills.page.filteredEmptyDescription":"Попробуйте изменить параметры поиска или фильтры","skills.page.heading":"Навыки","skills.page.loading":"Загрузка навыков…","skills.page.refreshSkills":"Обновить","skills.page.refreshSkillsToUseNew":"Обновите страницу, чтобы использовать новые навыки","skills.page.search":"Поиск навыков","skills.page.search.label":"Поиск навыков","skills.page.subheading":"Наделите Codex сверхспособностями. <link>Узнать больше</link>","skills.preview.copyPrompt":"Копировать подсказку","skills.preview.examplePrompt":"Пример подсказки","skills.recommended.error":"Не удалось загрузить рекомендуемые навыки","skills.recommended.install":"Установить","skills.recommended.installSkill":"Установить навык","skills.recommended.installSuccess":"{skillName} навык установлен","skills.recommended.installed":"Установлено","skills.scope.admin":"Администратор","skills.scope.adminInstalled":"Установлено администратором","skills.scope.builtIn":"Система","skills.scope.personal":"Личный","skills.scope.repo":"Репозиторий","skills.scope.system":"Система","skills.scope.team":"Команда","skills.scope.user":"Пользователь","skills.section.installed":"Установлено","skills.section.recommended":"Рекомендуется","story.slidingToggle.existing":"Существующий","story.slidingToggle.fromLocal":"Из локального","story.slidingToggle.new":"Новый","story.slidingToggle.toLocal":"В локальный","terminal.close":"Закрыть терминал","terminal.title":"Терминал","thinkingShimmer.default":"Думаю","threadEnvIcon.cloudTooltip":"Это обсуждение происходит в облачной среде Codex.","threadEnvIcon.localTooltip":"Это обсуждение происходит локально.","threadEnvIcon.worktreeTooltip":"Это обсуждение происходит в локальной рабочей копии git.","threadHeader.archiveConfirmCancel":"Отменить","threadHeader.archiveConfirmConfirm":"Архивировать","threadHeader.archiveConfirmSubtitle":"Вы сможете найти это позже в своих заархивированных беседах.","threadHeader.archiveConfirmTitle":"Архивировать беседу","threadHeader.copyAppLink":"Скопировать ссылку","threadHeader.copySessionId":"Копировать идентификатор сеанса","threadHeader.copyWorkingDirectory":"Скопировать рабочую директорию","threadHeader.forkIntoLocal":"Разветвить в локальную","threadHeader.forkIntoWorktree":"Разветвить в новое рабочее дерево","threadHeader.forkPendingWorktreePrompt":"Разветвить это обсуждение в новое рабочее дерево.","threadHeader.forkPendingWorktreeTitle":"Разветвленное обсуждение","threadHeader.forkThreadError":"Не удалось разветвить беседу","threadHeader.forkThreadRequiresGitRepo":"Для разветвления в новое рабочее дерево требуется репозиторий git","threadHeader.moreActions":"Действия беседы","threadPage.newThread":"Новая беседа","threadPage.runAction.changeEnvironment":"Изменить окружение","threadPage.runAction.dropdown.titleWithEnvironment":"Действия {environmentName}","threadPage.runAction.environmentSelector.label":"Выбрать окружение","threadPage.runAction.label":"Запустить","threadPage.runAction.missing.label":"Настроить действие запуска","threadPage.runAction.setup.commandLabel":"Команда для выполнения","threadPage.runAction.setup.description":"Расскажите Codex, как установить зависимости и запустить ваше приложение.","threadPage.runAction.setup.editMore":"Настройки окружения","threadPage.runAction.setup.placeholder":"Пример: npm install npm run","threadPage.runAction.setup.submit":"Сохранить и запустить","threadPage.runAction.setup.title":"Запустить","threadPage.runAction.tooltip.withEnvironment":"Действия {environmentName}","threadPage.toggleDiffPanel":"Переключить панель разницы","threadPage.toggleTerminal":"Переключить терминал","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Открыть папку","toolSummaryForCmd.exploredFiles":"<verb>Перечисленные</verb> файлы","toolSummaryForCmd.exploredFilesInPath":"<verb>Перечислил</verb> файлы в {path}","toolSummaryForCmd.exploringFiles":"<verb>Перечисление</verb> файлов","toolSummaryForCmd.exploringFilesInPath":"<verb>Перечисление</verb> файлов в {path}","toolSummaryForCmd.ranGenericCommand":"<status>Выполнена команда</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Запущен</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Прочитать</verb> {path} ","toolSummaryForCmd.runningGenericCommand":"<status>Выполняется команда</status>{timer}","toolSummaryForCmd.runningTimer":"для {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Выполнен поиск</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Выполнен поиск</verb> файлов","toolSummaryForCmd.searchedForInPath":"<verb>Выполнен поиск</verb> {query} в {path}","toolSummaryForCmd.searchingFor":"<verb>Поиск</verb> «{query}»","toolSummaryForCmd.searchingForFiles":"<verb>Поиск</verb> файлов","toolSummaryForCmd.searchingForInPath":"<verb>Поиск</verb> «{query}» в {path}","traceRecording.details.noteLabel":"Что вы делали, когда это произошло? (необязательно)","traceRecording.details.notePlaceholder":"Перешел в большую беседу, затем несколько раз переключался между вкладками…","traceRecording.details.submit":"Отправить трассировку","traceRecording.details.subtitle":"Мы можем отправить этот файл трассировки профиля, чтобы помочь в диагностике проблем с производительностью.","traceRecording.details.title":"Отправить данные трассировки профиля?","traceRecording.progress.subtitle":"Не закрывайте Codex, пока процесс не завершится.","traceRecording.saving.title":"Сохранение трассировки…","traceRecording.startDetails.cancel":"Отменить","traceRecording.startDetails.submit":"Хорошо, начинаем запись","traceRecording.startDetails.subtitle":"После того как вы нажмете кнопку «ОК», воспроизведите проблему с производительностью, затем щелкните плавающий красный индикатор, чтобы остановить запись и просмотреть результаты трассировки.","traceRecording.startDetails.title":"Как работает запись трассировки","traceRecording.stopButton.ariaLabel":"Прекратить запись трассировки","traceRecording.upload.successToast":"Трассировки профилирования отправлены.","traceRecording.uploading.title":"Загрузка данных трассировки…","wham.diff.addComment":"Добавить комментарии","wham.diff.binaryFile":"Бинарный файл не отображается","wham.diff.noContent":"Нет контента","wham.fileTag.deleted":"Удалено","wham.fileTag.new":"Новый","wham.formattedRelativeDateTime.compactDaysAgo":"{value}д","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ч","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}м","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}мес","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}н","wham.formattedRelativeDateTime.compactYearsAgo":"{value}г","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Работаем над вашей задачей","wham.whamProposedTask.title":"Предлагаемая задача","wham.whamProposedTask.useSuggestion":"Использовать предложение","workspaceRootDialog.addError":"Не удалось добавить проект","workspaceRootDialog.cancel":"Отменить","workspaceRootDialog.confirmAdd":"Добавить проект","workspaceRootDialog.confirmPick":"Использовать проект","workspaceRootDialog.description":"Введите путь к {host}, который хотите использовать в качестве пути проекта.","workspaceRootDialog.pathLabel":"Путь проекта","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Добавить путь проекта","workspaceRootDialog.title.pick":"Выбрать путь проекта","worktreeInitV2.cancel":"Отменить","worktreeInitV2.notification.failedTitle":"Не удалось настроить рабочее дерево","worktreeInitV2.output.empty":"Ожидание результата…","worktreeInitV2.status.error":"Не удалось настроить рабочее дерево.","worktreeInitV2.status.running":"Создание рабочего дерева и запуск программы установки.","worktreeInitV2.status.runningFork":"Создание рабочего дерева для разветвления этого обсуждения.","worktreeInitV2.status.success":"Рабочее дерево готово.","worktreeInitV2.title":"Создание рабочего дерева","worktreeInitV2.workLocallyInstead":"Вместо этого работайте локально","worktreeRestoreBanner.body":"Рабочее дерево этой беседы было удалено для экономии места на диске","worktreeRestoreBanner.missing.body":"Рабочей директории этой беседы больше не существует","worktreeRestoreBanner.missing.title":"Текущая рабочая директория отсутствует","worktreeRestoreBanner.restore.error":"Не удалось восстановить рабочее дерево: {message}","worktreeRestoreBanner.restore.success":"Рабочее дерево восстановлено","worktreeRestoreBanner.restoreCta":"Восстановить рабочее дерево","worktreeRestoreBanner.title":"Рабочее дерево очищено"};Object.assign(e,globalThis.codexI18nOverrides?.["ru-RU"]);export{e as default};
 //# sourceMappingURL=ru-RU-D7aoRUCW.js.map
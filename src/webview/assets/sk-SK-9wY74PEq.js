@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopírovať","app.sidebar.hide":"Skryť bočný panel","app.sidebar.show":"Zobraziť bočný panel","app.sidebar.tooltip":"Prepnúť bočný panel","appHeader.installUpdate":"Aktualizovať","appSunset.body":"Táto verzia aplikácie už nie je podporovaná. <here>Tu</here> si stiahni najnovšiu verziu.","appSunset.title":"Vyžaduje sa aktualizácia","automation.updateDirective.create":"Vytvoriť","automation.updateDirective.open":"Otvoriť","automation.updateDirective.untitled":"Automatizácia bez názvu","automation.updateDirective.update":"Aktualizovať","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# pokus} few {# pokusy} many {# pokusu} other {# pokusov}}","cloudTaskRow.archiveError":"Archivácia úlohy zlyhala","code.diff.requestChange":"Vyžiadať zmenu","code.diffComment.cancel":"Zrušiť","code.diffComment.comment":"Komentár","code.diffComment.delete":"Odstrániť","code.diffComment.save":"Uložiť","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Neboli nahlásené žiadne nájdenia.","codex.alert.closeAriaLabel":"Zatvoriť","codex.appUpsellBanner.cbpApi.message":"Tvor rýchlejšie s aplikáciou Codex. Stiahni si ju hneď teraz alebo {learnMoreLink}.","codex.appUpsellBanner.download":"Stiahnuť","codex.appUpsellBanner.freeGo.message":"Codex je zahrnutý v tvojej tarife do 2. marca. Vyskúšaj aplikáciu Codex a vytváraj rýchlejšie.","codex.appUpsellBanner.later":"Neskôr","codex.appUpsellBanner.learnMoreLowercase":"ďalšie informácie","codex.appUpsellBanner.new":"Nové","codex.appUpsellBanner.proPlusBusiness.message":"Vyskúšaj aplikáciu Codex s dvojnásobnými limitmi tarify až do 2. apríla. Stiahni si ju hneď teraz alebo {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikácia Codex","codex.applyDropdown.header.changes":"Zmeny","codex.applyDropdown.header.fileCount":"{count, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}}","codex.applyDropdown.header.rows":"riadky","codex.applyDropdown.header.title":"Použiť zmeny","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 súbor je v konflikte:} few {{count} súbory sú v konflikte:} many {{count} súboru je v konflikte:} other {{count} súborov je v konflikte:}}","codex.applyDropdown.results.empty":"Neskopírovali sa žiadne súbory","codex.applyDropdown.results.skipped":"{count, plural, one {Preskočil sa 1 súbor:} few {Preskočili sa {count} súbory:} many {Preskočilo sa {count} súboru:} other {Preskočilo sa {count} súborov:}}","codex.applyOrRevertBanner.apply":"Použiť","codex.applyOrRevertBanner.applyMessage":"Použiť zmeny a pokračovať lokálne?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Táto úloha sa vytvorila v prostredí {environment}, takže sa môže použiť s problémami.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Zmeny sú vykonané v prostredí {environment}, preto  sa môžu použiť s problémami.","codex.applyOrRevertBanner.reapply":"Použiť znova","codex.applyOrRevertBanner.revert":"Vrátiť","codex.applyOrRevertBanner.revertMessage":"Vrátiť použité zmeny?","codex.applyResultsDialog.applied":"Použité bez problémov ({count})","codex.applyResultsDialog.close":"Zatvoriť","codex.applyResultsDialog.conflicted":"Konfliktné ({count})","codex.applyResultsDialog.noDetails":"Nie sú k dispozícii žiadne podrobnosti o súbore.","codex.applyResultsDialog.skipped":"Preskočené ({count})","codex.applyResultsDialog.title":"Použitie výsledkov","codex.archiveInfo":"Zobraz archivované čety v {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrola údajov","codex.archiveInfo.electron":"Zobraz archivované čety v {settingsLink}","codex.archiveInfo.extension":"Zobraz archivované čety v priečinku .codex.","codex.archiveInfo.settingsLink":"Nastavenia","codex.banner.content.description":"Spúšťaj úlohy paralelne, sleduj priebeh kdekoľvek a kontroluj PR pomocou AI.","codex.banner.content.headline":"Agent Codex to všetko dokáže.","codex.cloudTaskRow.archiveTask":"Archivuje sa úloha","codex.cloudTaskRow.confirmArchiveTask":"Potvrdiť","codex.command.feedback":"Pripomienky","codex.command.findInThread":"Hľadať","codex.command.forceReloadSkills":"Vynútiť opätovné načítanie zručností","codex.command.logOut":"Odhlásiť sa","codex.command.manageTasks":"Spravovať úlohy","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Späť","codex.command.navigateForward":"Dopredu","codex.command.newThread":"Nové vlákno","codex.command.nextThread":"Ďalšie vlákno","codex.command.openFolder":"Otvoriť priečinok","codex.command.openSkills":"Prejsť na zručnosti","codex.command.openThreadOverlay":"Otvoriť vlákno samostatne","codex.command.personalitySettings":"Osobnosť","codex.command.previousThread":"Predchádzajúce vlákno","codex.command.settings":"Nastavenia","codex.command.toggleDiffPanel":"Prepnúť panel rozdielov","codex.command.toggleSidebar":"Prepnúť bočný panel","codex.command.toggleTerminal":"Prepnúť terminál","codex.commandGroup.app":"Aplikácia","codex.commandGroup.configure":"Konfigurovať","codex.commandGroup.navigation":"Navigácia","codex.commandGroup.panels":"Panely","codex.commandGroup.skills":"Zručnosti","codex.commandGroup.thread":"Vlákno","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Žiadne zhody","codex.commandMenu.searchPlaceholder":"Hľadať príkazy","codex.commandMenu.suggestedGroup":"Navrhované","codex.commandMenu.switchWorkspace":"Prepnúť projekt","codex.commandMenu.title":"Ponuka príkazov","codex.common.retry":"Skúsiť znova","codex.composer.searchBranches":"Hľadať vetvy","codex.dialog.basic.body":"Toto je jednoduché modálne dialógové okno používajúce náš obal okolo dialógového okna Radix.","codex.dialog.basic.cancel":"Zrušiť","codex.dialog.basic.confirm":"Potvrdiť","codex.dialog.basic.open":"Otvoriť dialógové okno","codex.dialog.basic.title":"Vzorka dialógového okna","codex.dialog.long.close":"Zatvoriť","codex.dialog.long.line":"Posúvateľný riadok {index} na zobrazenie dlhého obsahu v dialógovom okne.","codex.dialog.long.open":"Otvoriť dlhé dialógové okno","codex.dialog.long.title":"Dialógové okno s dlhým obsahom","codex.dialog.unstyled.body":"Tento príbeh ukazuje, ako volajúci môžu plne ovládať štýl obsahu dialógového okna.","codex.dialog.unstyled.open":"Otvoriť dialógové okno bez štýlu","codex.dialog.unstyled.title":"Obsah bez štýlu","codex.diff.openInEditorPrompt.openButton":"Otvoriť v editore","codex.diff.openInEditorPrompt.singleLine":"Súbor je príliš veľký na zobrazenie tu.","codex.diffView.failedToDecodeBase64Diff":"Rozlúštenie porovnania base64 zlyhalo","codex.diffView.filesChanged":"{fileCount, plural, one {# zmenený súbor} few {# zmenené súbory} many {# zmeneného súboru} other {# zmenených súborov}}","codex.diffView.imagePreviewAlt":"Ukážka obrázka","codex.diffView.imagePreviewEmpty":"Žiadny obrázok","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Žiadne údaje porovnania","codex.diffView.pdfPreview.nextPage":"Ďalšia strana","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Predchádzajúca strana","codex.diffView.pdfPreviewEmpty":"Žiadna ukážka vo formáte PDF","codex.diffView.pdfPreviewError":"Nepodarilo sa vykresliť ukážku vo formáte PDF","codex.diffView.richPreviewDisable":"Zakázať rozšírenú ukážku","codex.diffView.richPreviewEnable":"Povoliť rozšírenú ukážku","codex.diffView.richPreviewLoading":"Načítava sa ukážka…","codex.diffView.richPreviewToggle":"Prepnúť rozšírenú ukážku","codex.diffView.switchToUnified":"Prepnúť na zjednotené porovnanie","codex.environmentSelector.noEnvironment":"Žiadne prostredie","codex.environments.environmentSettings":"Nastavenia prostredia","codex.environments.learnMore":"Ďalšie informácie","codex.environments.listError":"Načítanie prostredí zlyhalo.","codex.environments.noEnvironmentsFound":"Nenašli sa žiadne prostredia","codex.environments.searchError":"Hľadanie prostredí zlyhalo.","codex.errorBoundary.genericError":"Ľutujeme, ale vyskytla sa chyba","codex.errorBoundary.goHome":"Skúsiť znova","codex.file.patch.missing":"Pre tento súbor sa nepodarilo vytvoriť opravu.","codex.gallery.automations.cwdLabel":"Projekty","codex.gallery.automations.nameLabel":"Meno","codex.gallery.automations.namePlaceholder":"Zhrnutie aplikácie","codex.gallery.automations.promptLabel":"Príkaz","codex.gallery.automations.promptPlaceholder":"Opíš, čo by mal robiť agent Codex","codex.gallery.dialogs.automation.label":"Dialógové okno automatizácie","codex.gallery.dialogs.basic.body":"Použi toto rozloženie pre jednoduché potvrdenia alebo krátke formuláre.","codex.gallery.dialogs.basic.cancel":"Zrušiť","codex.gallery.dialogs.basic.confirm":"Potvrdiť","codex.gallery.dialogs.basic.label":"Základné dialógové okno","codex.gallery.dialogs.basic.title":"Vzorka dialógového okna","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Popíš problém","codex.gallery.dialogs.feedbackSubmission.bad":"Zlý výsledok","codex.gallery.dialogs.feedbackSubmission.bug":"Chyba","codex.gallery.dialogs.feedbackSubmission.good":"Dobrý výsledok","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Zahrnú sa denníky aktuálnej relácie agenta Codex","codex.gallery.dialogs.feedbackSubmission.label":"Odoslanie pripomienok","codex.gallery.dialogs.feedbackSubmission.other":"Iné","codex.gallery.dialogs.feedbackSubmission.placeholder":"Tu popíš problém","codex.gallery.dialogs.feedbackSubmission.submit":"Odoslať","codex.gallery.dialogs.feedbackSubmission.title":"Pripomienky","codex.gallery.dialogs.feedbackSuccess.body":"Pripomienky sa nahrali. Ak problém pretrváva, otvor problém GitHub alebo spomeň ID vlákna v existujúcom otvorenom probléme:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Skryť","codex.gallery.dialogs.feedbackSuccess.label":"Pripomienky boli úspešné","codex.gallery.dialogs.feedbackSuccess.title":"Pripomienky sa nahrali","codex.gallery.dialogs.gitApplyResults.applied":"Použité bez problémov (2)","codex.gallery.dialogs.gitApplyResults.close":"Zatvoriť","codex.gallery.dialogs.gitApplyResults.conflicted":"Konfliktné (1)","codex.gallery.dialogs.gitApplyResults.label":"Použitie výsledkov","codex.gallery.dialogs.gitApplyResults.title":"Použitie výsledkov","codex.gallery.dialogs.gitPushError.body":"Stiahni najnovšie zmeny alebo vynúť ich odoslanie, ak vieš, že je bezpečné prepísať vzdialenú históriu.","codex.gallery.dialogs.gitPushError.cancel":"Zrušiť","codex.gallery.dialogs.gitPushError.force":"Vynútené odoslanie","codex.gallery.dialogs.gitPushError.label":"Chyba odoslania","codex.gallery.dialogs.gitPushError.subtitle":"Vetva sa nachádza za vetvou pôvodnou alebo hlavnou.","codex.gallery.dialogs.gitPushError.title":"Odoslanie zmien zlyhalo","codex.gallery.dialogs.gitRevert.cancel":"Zrušiť","codex.gallery.dialogs.gitRevert.confirm":"Vrátiť","codex.gallery.dialogs.gitRevert.label":"Vrátiť zmeny","codex.gallery.dialogs.gitRevert.skip":"Nabudúce sa nepýtať","codex.gallery.dialogs.gitRevert.subtitle":"Táto akcia odstráni všetky tieto zmeny.","codex.gallery.dialogs.gitRevert.title":"Vrátiť zmeny?","codex.gallery.dialogs.longForm.label":"Dialógové okno dlhého formulára","codex.gallery.dialogs.proseModal.body":"Tento modálny štýl sa používa pre dlhšie pokyny, zaradenie alebo bloky s množstvom obsahu.","codex.gallery.dialogs.proseModal.close":"Zatvoriť","codex.gallery.dialogs.proseModal.subtitle":"Tu zdieľaj dlhšie pokyny alebo dokumentáciu k formuláru.","codex.gallery.dialogs.proseModal.title":"Modálna próza","codex.gallery.dialogs.submitBlocked.label":"Odoslanie sa zablokovalo","codex.gallery.dialogs.submitBlocked.message":"Nepodarilo sa odoslať správu, pretože projekt nie je k dispozícii.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Nepodarilo sa poslať správu","codex.gallery.dialogs.title":"Dialógy","codex.gallery.dropdown.filterPlaceholder":"Filtrovať položky","codex.gallery.dropdowns.actionRow":"Riadky akcie","codex.gallery.dropdowns.actionRow.disabled":"Zakázaná akcia","codex.gallery.dropdowns.actionRow.primary":"Primárna akcia","codex.gallery.dropdowns.actionRow.secondary":"Sekundárna akcia","codex.gallery.dropdowns.actionRow.trigger":"Zobraziť akcie","codex.gallery.dropdowns.basic":"Základný rozbaľovací zoznam","codex.gallery.dropdowns.basic.newFile":"Nový súbor","codex.gallery.dropdowns.basic.newFolder":"Nový priečinok","codex.gallery.dropdowns.basic.openSettings":"Otvoriť nastavenia","codex.gallery.dropdowns.basic.title":"Rýchle akcie","codex.gallery.dropdowns.basic.trigger":"Otvoriť ponuku","codex.gallery.dropdowns.basic.upload":"Nahrať","codex.gallery.dropdowns.panel":"Panel plochy","codex.gallery.dropdowns.panel.apply":"Použiť","codex.gallery.dropdowns.panel.body":"Skontroluj porovnania a použi ich vo svojom projekte.","codex.gallery.dropdowns.panel.preview":"Ukážka","codex.gallery.dropdowns.panel.title":"Použiť zmeny","codex.gallery.dropdowns.panel.trigger":"Otvoriť panel","codex.gallery.dropdowns.search":"Rozbaľovací zoznam s možnosťou hľadania","codex.gallery.dropdowns.search.first":"Kanál alpha","codex.gallery.dropdowns.search.second":"Vetva beta","codex.gallery.dropdowns.search.third":"Kandidát na vydanie","codex.gallery.dropdowns.search.trigger":"Filtrovať položky","codex.gallery.dropdowns.submenu":"Rozbaľovací zoznam s podponukou","codex.gallery.dropdowns.submenu.optionA":"Projekt alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Priradiť vlastníka","codex.gallery.dropdowns.submenu.secondary":"Presunúť do","codex.gallery.dropdowns.submenu.tertiary":"Archivovať","codex.gallery.dropdowns.submenu.trigger":"Vybrať akciu","codex.gallery.dropdowns.title":"Rozbaľovacie zoznamy","codex.gallery.inbox.automations.close":"Zatvoriť","codex.gallery.inbox.automations.popover.cardTitle":"Spravovať automatizácie","codex.gallery.inbox.automations.popover.dialogTitle":"Spravovať automatizácie","codex.header.settingsTooltip":"Nastavenia","codex.hunk.patch.error":"Vytvorenie fázy zlyhalo","codex.hunk.patch.missing":"Pre tento veľký blok sa nepodarilo vytvoriť opravu.","codex.hunk.patch.partialSuccess":"Čiastočne úspešné","codex.hunk.patch.revertError":"Zrušenie fázy zlyhalo","codex.hunk.patch.revertSuccess":"Úspešne sa zrušila fáza","codex.hunk.patch.success":"Úspešne sa vytvorila fáza","codex.legal.autonomy.details":"Ďalšie informácie nájdete v časti {link}","codex.legal.autonomy.details.link":"Dokumenty Codex","codex.legal.autonomy.title":"Rozhodni sa, koľko samostatnosti chceš udeliť","codex.legal.backButton":"Späť","codex.legal.cloud.taskOne.meta":"openai/agi · 12. október","codex.legal.cloud.taskOne.title":"Vysvetli odkladací priestor novému návrhárovi","codex.legal.cloud.taskThree.meta":"openai/codex · 8. október","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Vytvorenie motívu tmavého režimu","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. október","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Opravenie chyby zaradenia","codex.legal.continue.apikey":"Pokračovať","codex.legal.continueButton":"Ďalej","codex.legal.copilot.details":"Používa tvoju tarifu Copilot pre všetky volania, fakturácie a limity tarify modelu. Používanie rozšírenia agenta Codex podlieha {oaiTos} a {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHub – zmluvné podmienky","codex.legal.copilot.oaiTosLink":"OpenAI Codex – zmluvné podmienky","codex.legal.copilot.title":"Podporované asistentom GitHub Copilot","codex.legal.mistakes.review":"Skontroluj ním písaný kód a spúšťané príkazy","codex.legal.mistakes.title":"Agent Codex môže robiť chyby","codex.legal.powered.details":"Používa limity tarify a {link}","codex.legal.powered.details.link":"predvoľby tréningových údajov","codex.legal.powered.title":"Podporované účtom ChatGPT","codex.legal.step.cloud.subtitle":"Odosielaj úlohy agentovi Codex, aby boli spustené na pozadí, a ty si sa mohol/-a sústrediť a rýchlejšie sa posúvať vpred.","codex.legal.step.cloud.title":"Odovzdanie agentovi Codex v cloude","codex.legal.step.intro.subtitle":"Agent Codex naviguje, upravuje, spúšťa príkazy a vykonáva testy priamo v odkladacom priestore. Podporované účtom ChatGPT","codex.legal.step.intro.title":"Agent Codex v IDE","codex.legal.step.todo.subtitle":"Napíš komentár TODO a jedným kliknutím ho skonvertuj na úlohu pre agenta Codex.","codex.legal.step.todo.title":"Premena TODO na úlohy agenta Codex","codex.legal.todo.heading":"// TODO: schéma implementácie","codex.localConversation.closeImagePreview":"Zatvoriť ukážku obrázka","codex.localConversation.userImageAttachment":"Príloha používateľa","codex.localTaskRow.archiveTask":"Archivovať vlákno","codex.localTaskRow.awaitingApproval":"Čaká na schválenie","codex.localTaskRow.awaitingResponse":"Čaká sa na odpoveď","codex.localTaskRow.confirmArchiveTask":"Potvrdiť","codex.loggedOut.apiKeyPrompt.cancel":"Zrušiť","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Získať kľúč API","codex.loggedOut.apiKeyPrompt.inputLabel":"Zadaj svoj kľúč API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloudové úlohy sú zakázané s kľúčom API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloudové úlohy sú zakázané s asistentom Copilot a kľúčom API","codex.loggedOut.signIn":"Prihlásiť sa s modulom ChatGPT","codex.loggedOut.signIn.cancel":"Zrušiť prihlásenie","codex.loggedOut.signInWithCopilot":"Prihlásiť sa s asistentom GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Použiť kľúč API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Nástroj {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Vyvolané","codex.mcpTool.collapsedLabel.verb.calling":"Vyvoláva sa","codex.mcpTool.embeddedResource.contentLabel":"Obsah","codex.mcpTool.embeddedResource.mimeTypeLabel":"Typ MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Nástroj nevrátil žiadny obsah.","codex.mcpTool.rawPayloadHeading":"Neupravený {server}.{tool} volania nástroja MCP","codex.menu.recent":"Nedávne","codex.menu.seeAllHistory":"Zobraziť celú históriu","codex.modelCapacityBanner.headline.noReset":"{modelName} je momentálne vyťažený. Skús to znova neskôr alebo spusti novú konverzáciu s iným modelom.","codex.modelCapacityBanner.headline.withReset":"{modelName} je momentálne vyťažený. Skús to znova po {resetDate} alebo spusti novú konverzáciu s iným modelom.","codex.modelCapacityBanner.title":"Vybratý model je vyťažený","codex.patch.change.contentsDeleted":"Obsah sa odstránil","codex.patch.change.created":"Vytvorené","codex.patch.change.created-file":"Vytvorený súbor","codex.patch.change.creating":"Vytvára sa","codex.patch.change.deleted":"Odstránené","codex.patch.change.deleted-file":"Odstránený súbor","codex.patch.change.deleting":"Odstraňuje sa","codex.patch.change.edited":"Upravené","codex.patch.change.edited-file":"Upravený súbor","codex.patch.change.editing":"Upravovanie","codex.patch.change.noChanges":"Žiadne zmeny","codex.patch.change.rejected-add":"Odmietnuté","codex.patch.change.rejected-delete":"Odmietnuté","codex.patch.change.rejected-edit":"Odmietnuté","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Dokončené úlohy: {completed}/{total}","codex.plan.todoListCreated":"Zoznam úloh vytvorený s {total} úlohami","codex.profileDropdown.apiKeyAuth":"Prihlásený s kľúčom API","codex.profileDropdown.codexSettings":"Nastavenia agenta Codex","codex.profileDropdown.copilotAuth":"Prihlásený s asistentom Copilot","codex.profileDropdown.defaultAccountTitle":"Predvolený účet","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter na odoslanie dlhých príkazov","codex.profileDropdown.enterBehaviorError":"Aktualizácia nastavenia zlyhala","codex.profileDropdown.getPlus":"Upgraduj pre vyššie limity","codex.profileDropdown.keyboardShortcuts":"Klávesové skratky","codex.profileDropdown.language":"Jazyk","codex.profileDropdown.languageDefault":"Automaticky zistiť","codex.profileDropdown.languageSearchPlaceholder":"Hľadať jazyky","codex.profileDropdown.languageUpdateError":"Aktualizácia jazyka zlyhala","codex.profileDropdown.logOut":"Odhlásiť sa","codex.profileDropdown.mcp":"Nastavenia MCP","codex.profileDropdown.openConfigToml":"Otvoriť config.toml","codex.profileDropdown.openConfigToml.wsl":"Otvoriť config.toml v prostredí WSL","codex.profileDropdown.openExtensionSettings":"Otvoriť nastavenia","codex.profileDropdown.openMcpSettings":"Otvoriť nastavenia MCP","codex.profileDropdown.openOnStartup":"Otvoriť pri spustení","codex.profileDropdown.openOnStartupError":"Aktualizácia nastavenia zlyhala","codex.profileDropdown.openSkillsSettings":"Otvoriť nastavenia zručností","codex.profileDropdown.personalAccountTitle":"Osobný účet","codex.profileDropdown.queueFollowUps":"Sledovať front","codex.profileDropdown.queueFollowUpsError":"Aktualizácia nastavenia zlyhala","codex.profileDropdown.readDocs":"Prečítať dokumenty","codex.profileDropdown.readSkillsDocs":"Prečítať dokumenty","codex.profileDropdown.runInWsl":"Spustiť v prostredí WSL","codex.profileDropdown.runInWslError":"Aktualizácia nastavenia zlyhala","codex.profileDropdown.runInWslTooltip":"Agent Codex sa spustí v prostredí WSL. Odporúča sa pre vylepšené zabezpečenie testovacieho prostredia a lepší výkon.","codex.profileDropdown.settings":"Nastavenia IDE","codex.profileDropdown.settingsPage":"Nastavenia","codex.profileDropdown.signInWithOpenAI":"Prihlásiť sa s modulom ChatGPT","codex.profileDropdown.skills":"Nastavenia zručností","codex.profileDropdown.switchToCopilotAccount":"Použiť účet Copilot","codex.profileDropdown.switchToOpenAIAccount":"Použiť účet OpenAI","codex.profileDropdown.todoCodelens":"Opraviť komentáre TODO","codex.profileDropdown.todoCodelensError":"Aktualizácia nastavenia zlyhala","codex.profileDropdown.windowsDocumentation":"Dokumentácia systému Windows","codex.profileFooter.signedInFallback":"Nastavenia","codex.profileFooter.upgrade":"Upgradovať","codex.recentTasksMenu.clearSearch":"Vymazať hľadanie","codex.recentTasksMenu.cloud":"Cloudové úlohy","codex.recentTasksMenu.count":"{count, plural, =0 {Neprebiehajú žiadne úlohy} one {Prebieha # úloha} few {Prebiehajú # úlohy} many {Prebieha # úlohy} other {Prebieha # úloh}}","codex.recentTasksMenu.empty":"Zatiaľ žiadne vlákna","codex.recentTasksMenu.errorCloud":"Načítanie úloh zlyhalo.","codex.recentTasksMenu.errorCloud.inline":"Načítanie cloudových úloh zlyhalo.","codex.recentTasksMenu.filterAll":"Všetko","codex.recentTasksMenu.filterCloudTasks":"Filtrovanie cloudových úloh","codex.recentTasksMenu.filterTooltip":"Filtrovanie úloh podľa prostredia","codex.recentTasksMenu.local":"Lokálne úlohy","codex.recentTasksMenu.recent":"Všetky úlohy","codex.recentTasksMenu.search":"Hľadať nedávne úlohy","codex.recentTasksMenu.searchEmpty":"Žiadny výsledok","codex.recentTasksMenu.tooltip":"História úlohy","codex.recentTasksMenu.trigger":"Nedávne úlohy. {count, plural, one {Prebieha #} few {Prebiehajú #} many {Prebieha #} other {Prebieha #}}","codex.remoteConversation.applyDiff.applyCta":"Použiť zmeny","codex.remoteConversation.applyDiff.dropdownTitle":"Použiť zmeny na lokálnu vetvu","codex.remoteConversation.applyDiff.revertCta":"Vrátiť zmeny","codex.remoteConversation.closeImagePreview":"Zatvoriť ukážku obrázka","codex.remoteConversation.codexCloudTask":"Sleduješ cloudovú úlohu <u>agenta Codex</u>","codex.remoteConversation.errorWithMessage":"Chyba: {message}","codex.remoteConversation.loadingImage":"Načítava sa obrázok","codex.remoteConversation.openInWeb":"Otvoriť na webe","codex.remoteConversation.streaming":"Začíname","codex.remoteConversation.turnFailed":"Počas tejto úlohy sa vyskytla chyba","codex.remoteConversation.turnTab.loading":"Pokus {number}","codex.remoteConversation.turnTab.title":"Pokus {number}","codex.remoteConversation.userImageAttachment":"Príloha používateľa","codex.remoteConversation.viewPreviousTurns":"Otvoriť na webe","codex.remoteConversation.viewPreviousTurns.buttonText":"Otvoriť","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Otvoriť na webe","codex.review.copyGitApplyCommand":"Skopírovať príkaz na použitie v git","codex.review.copyGitApplyCommand.toast":"Príkaz na použitie v git sa skopíroval do schránky","codex.review.diffTooLarge.description":"Porovnanie je príliš veľké na zobrazenie v kontrole.","codex.review.diffTooLarge.title":"Porovnanie je príliš veľké na zobrazenie","codex.review.expandOrCollapseDiffButton.collapse":"Zbaliť všetky zmeny","codex.review.expandOrCollapseDiffButton.expand":"Rozbaliť všetky zmeny","codex.review.expandOrCollapseDiffMenu.collapse":"Zbaliť všetky zmeny","codex.review.expandOrCollapseDiffMenu.expand":"Rozbaliť všetky zmeny","codex.review.fileSearch.clear":"Vymazať filter súboru","codex.review.fileSearch.empty":"Aktuálnemu filtru nevyhovujú žiadne súbory.","codex.review.fileSearch.label":"Filtrovať súbory","codex.review.fileSearch.placeholder":"Filtrovanie súborov…","codex.review.filesChanged":"{num, plural, =0 {Žiadne zmenené súbory} one {# zmenený súbor} few {# zmenené súbory} many {# zmeneného súboru} other {# zmenených súborov}}","codex.review.find.loadMore":"Načítať ďalšie zhody","codex.review.fullReview.hideFileTree":"Skryť strom súborov","codex.review.fullReview.showFileTree":"Zobraziť strom súborov","codex.review.header.moreOptions":"Možnosti kontroly","codex.review.largeDiff.banner":"Detegovalo sa veľké porovnanie – naraz sa zobrazuje len jeden súbor.","codex.review.loadFullFiles.disable":"Nenačítavať celé súbory","codex.review.loadFullFiles.enable":"Načítavať celé súbory","codex.review.noDiff":"Tu sa zobrazia zmeny súboru","codex.review.noDiff.gitInit.createRepository":"Vytvoriť odkladací priestor git","codex.review.noDiff.gitInit.creating":"Vytváranie…","codex.review.noDiff.gitInit.error":"Inicializácia git zlyhala: {message}","codex.review.noDiff.gitInit.success":"Odkladací priestor git sa vytvoril","codex.review.noDiff.gitRepoRequired.description":"Sledovanie a zrušenie zmien v tomto projekte","codex.review.noDiff.gitRepoRequired.title":"Vytvoriť odkladací priestor git","codex.review.noDiff.orNoLongerAvailable":"alebo už nie sú k dispozícii najnovšie rozdiely","codex.review.noDiff.reverted":"Posledný krok sa vrátil späť","codex.review.noDiff.revertedOrCommitted":"Posledný krok sa vrátil alebo sa potvrdil","codex.review.refreshGitQueries":"Obnoviť","codex.review.revert.file.error":"Vrátenie súboru {path} zlyhalo.","codex.review.revert.file.partialSuccess":"Čiastočne sa vrátil súbor {path}","codex.review.revert.file.success":"Vrátil sa súbor {path}","codex.review.revert.hunk.error":"Vrátenie veľkého bloku {hunkNumber} v {path} zlyhalo","codex.review.revert.hunk.partialSuccess":"Čiastočne sa vrátil veľký blok {hunkNumber} v {path}","codex.review.revert.hunk.success":"Vrátil sa veľký blok {hunkNumber} v {path}","codex.review.revert.section.error":"Vrátenie časti zlyhalo","codex.review.revert.section.partialSuccess":"Časť sa čiastočne vrátila","codex.review.revert.section.success":"Časť sa vrátila","codex.review.revertDialog.cancel":"Zrušiť","codex.review.revertDialog.confirm":"Potvrdiť","codex.review.revertDialog.message":"Táto akcia odstráni všetky tieto zmeny.","codex.review.revertDialog.skip":"Nabudúce sa nepýtať","codex.review.revertDialog.title":"Vrátiť zmeny?","codex.review.richPreview.disable":"Zakázať rozšírenú ukážku","codex.review.richPreview.enable":"Povoliť rozšírenú ukážku","codex.review.source.cloud":"Cloudové zmeny","codex.review.source.local.all":"Všetky zmeny vetiev","codex.review.source.local.lastTurn":"Zmeny posledného kroku","codex.review.source.local.uncommitted":"Nepotvrdené zmeny","codex.review.source.worktree":"Nepotvrdené zmeny pracovného stromu","codex.review.stageFilter.empty.staged.description":"Prijmi úpravy na ich fázovanie","codex.review.stageFilter.empty.staged.title":"Žiadne zmeny s fázou","codex.review.stageFilter.empty.unstaged.description":"Tu sa zobrazia zmeny kódu","codex.review.stageFilter.empty.unstaged.title":"Žiadne zmeny bez fázy","codex.review.stageFilter.staged":"S fázou","codex.review.stageFilter.staged.count":"S fázou · {count}","codex.review.stageFilter.unstaged":"Bez fázy","codex.review.stageFilter.unstaged.count":"Bez fázy · {count}","codex.review.switchToSplit":"Prepnúť na rozdelené porovnanie","codex.review.switchToUnified":"Prepnúť na zjednotené porovnanie","codex.review.toggleDiffView":"Prepnúť zobrazenie rozdielov","codex.review.wordDiffs.disable":"Zakázať slovné rozdiely","codex.review.wordDiffs.enable":"Povoliť slovné rozdiely","codex.review.wrap.disable":"Zakázať zalamovanie slov","codex.review.wrap.enable":"Povoliť zalamovanie slov","codex.section.patch.missing":"Pre túto časť sa nepodarilo vytvoriť opravu.","codex.shell.collapse":"Zbaliť shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Skopírovaný obsah shell","codex.shell.copy.copyTooltip":"Skopíruje sa obsah shell","codex.shell.copyCommand":"Skopíruje sa príkaz","codex.shell.copyOutput":"Skopíruje sa výstup","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Rozbaliť shell","codex.shell.name":"Shell","codex.shell.noOutput":"Žiadny výstup","codex.signInFailed.message":"Prihlásenie zlyhalo: {rawMessage}","codex.stories.toast.show":"Zobraziť správu","codex.stories.tooltip.basic":"Toto je popis","codex.stories.tooltip.hoverMe":"Presuň na mňa kurzor","codex.stories.tooltip.largerOffset":"Tento popis má väčší posun","codex.stories.tooltip.offsetButton":"Väčší posun","codex.stories.tooltip.shortcutButton":"So skratkou","codex.stories.tooltip.withShortcut":"Prepnúť terminál","codex.taskRow.title":"Nové vlákno","codex.taskRowLayout.confirm":"Potvrdiť","codex.threadFindBar.chatFilter":"Prehľadávať čety","codex.threadFindBar.close":"Zatvoriť hľadanie","codex.threadFindBar.diffFilter":"Hľadať porovnania","codex.threadFindBar.label":"Hľadať vo vlákne","codex.threadFindBar.nextResult":"Ďalší výsledok","codex.threadFindBar.noResults":"0 výsledkov","codex.threadFindBar.placeholder":"Hľadať vlákno…","codex.threadFindBar.placeholder.extension":"Hľadať vlákno…","codex.threadFindBar.placeholder.review":"Hľadať porovnanie…","codex.threadFindBar.placeholder.review.extension":"Hľadať porovnanie…","codex.threadFindBar.previousResult":"Predchádzajúci výsledok","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# zmenený súbor} few {# zmenené súbory} many {# zmeneného súboru} other {# zmenených súborov}}","codex.unifiedDiff.inlineLargeFile":"Príliš veľké na vložené vykreslenie","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Zrušiť zmeny","codex.unifiedDiff.revertPatchError":"Vrátenie zmien zlyhalo","codex.unifiedDiff.revertPatchSuccess":"Zmeny sa vrátili","codex.unifiedDiff.reviewChangesSuffix":"zmeny","codex.unifiedDiff.reviewShort":"Skontrolovať","codex.unifiedDiff.viewDiffTooltip":"Kontrola","codex.upsellBanner.business.headline":"Ak chceš teraz získať viac prístupov, pošli žiadosť svojmu správcovi alebo počkaj do {resetDate}.","codex.upsellBanner.cbp.headline":"Ak chceš teraz získať viac prístupov, pošli žiadosť svojmu správcovi.","codex.upsellBanner.cta.addCredits":"Pridať kredity","codex.upsellBanner.cta.upgradeAccount":"Upgradovať","codex.upsellBanner.cta.viewUsage":"Zobraziť spotrebu","codex.upsellBanner.free.trialHeadline":"Limit tarify sa zresetuje {resetDate}. Ak chceš pokračovať v používaní agenta Codex a získať prístup k modelu GPT-5.3-Codex, spusti ešte dnes bezplatnú skúšobnú verziu tarify Plus.","codex.upsellBanner.freeOrGo.headline":"Tvoj limit tarify sa zresetuje {resetDate}. Ak chceš naďalej používať agenta Codex, upgraduj ešte dnes na Plus.","codex.upsellBanner.general.headline":"Tvoj limit tarify sa zresetuje {resetDate}.","codex.upsellBanner.general.title":"Minuli sa ti správy agenta Codex","codex.upsellBanner.go.trialHeadline":"Limit tarify sa zresetuje {resetDate}. Ak chceš pokračovať v používaní agenta Codex, spusti ešte dnes bezplatnú skúšobnú verziu tarify Plus.","codex.upsellBanner.plus.headline":"Tvoj limit tarify sa zresetuje {resetDate}. Ak chceš naďalej používať agenta Codex, pridaj kredity alebo upgraduj ešte dnes na Pro.","codex.upsellBanner.pro.headline":"Tvoj limit tarify sa zresetuje {resetDate}. Ak chceš naďalej používať agenta Codex, pridaj kredity.","codex.userMessage.autoResolveSync":"Automatické vyriešenie konfliktov","codex.userMessage.commentCount":"{count, plural, one {# komentár} few {# komentárov} many {# komentárov} other {# komentárov}}","codex.userMessage.copiedAriaLabel":"Skopírované","codex.userMessage.copiedTooltip":"Skopírované","codex.userMessage.copyAriaLabel":"Kopírovanie správy","codex.userMessage.copyTooltip":"Kopírovať","codex.userMessage.implementPlan":"Implementovať plán","codex.userMessage.noContent":"(Žiadny obsah)","codex.userMessage.priorConversation":"Odkazuje na predošlú konverzáciu","codex.userMessage.reviewMode":"Režim kontroly","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"pre {query}","codex.webSearch.summary.verb.completed":"Prehľadal sa web","codex.webSearch.summary.verb.inProgress":"Prehľadáva sa web","codex.windowsInstallWslBanner.dismiss":"Skryť","codex.windowsInstallWslBanner.installWslCta":"Povoliť testovacie prostredie","codex.windowsInstallWslBanner.learnMore":"Ďalšie informácie","codex.windowsSandboxBanner.content":"Režim agenta používa experimentálne testovacie prostredie v systéme Windows na obmedzenie prístupu k súborovému systému a sieti. {sandboxLink}","codex.windowsSandboxBanner.title":"Povolenie testovacieho prostredia pre režim agenta","codex.windowsSubDropdown.windowsSandbox":"Testovacie prostredie systému Windows","codex.windowsSubDropdown.windowsSettings":"Nastavenia systému Windows","codexUpgradeModal.body":"Náš najnovší hraničný model kódovania agentom – inteligentnejší, rýchlejší a schopnejší v prípade všeobecných technických prác. {link}","codexUpgradeModal.close":"Zatvoriť","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Ďalšie informácie","codexUpgradeModal.title":"Predstavujeme GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Vyskúšať GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Pokračovať s aktuálnym modelom","commentAttachments.numComments":"{count, plural, one {# komentár} few {# komentáre} many {# komentára} other {# komentárov}}","commentAttachments.removeAriaLabel":"Odstrániť prílohu s komentármi","common.close":"Zatvoriť","composer.addContext.openFilePickerError":"Nepodarilo sa otvoriť výber súborov","composer.addContextDropdown.ariaLabel":"Pridať súbory a viac","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Pridať súbory a viac","composer.addPhotosAndFiles":"Pridať fotografie a súbory","composer.atMentionList.emptyQuery":"Napíš text pre vyhľadávanie súborov","composer.atMentionList.loading":"Hľadá sa...","composer.atMentionList.noResults":"Žiadne výsledky","composer.attemptsSelector.option":"{count, plural, one {# verzia} few {# verzie} many {# verzie} other {# verzií}}","composer.attemptsSelector.tooltip":"Počet paralelných pokusov, ktoré má agent Codex vykonať","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Zastaviť","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokálne","composer.cloudFollowUp.whereRun":"Kde by sa malo spustiť toto sledovanie?","composer.cloudTaskCreationError":"Chyba pri vytváraní cloudovej úlohy","composer.cloudTaskError":"Chyba pri vytváraní úlohy","composer.contextWindow.autoCompactionTooltipLine1":"Agent Codex automaticky zhusťuje svoj kontext","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontextové okno:","composer.contextWindowUsageStatusFull":"Zaplnené na {usage} %","composer.contextWindowUsageStatusLeft":"Použité: {usage} % (zostáva: {remaining} %)","composer.contextWindowUsageTooltip":"Použité tokeny: {usedTokens} 000/{contextWindow} 000","composer.customCliTooltip":"Používa sa vlastné spustiteľné CLI","composer.dictation.aria":"Diktovanie","composer.dictation.cancel.aria":"Zastaviť diktovanie","composer.dictation.cancel.tooltip":"Zastaviť diktovanie","composer.dictation.startError":"Nepodarilo sa spustiť diktovanie","composer.dictation.submit.aria":"Prepísať a odoslať","composer.dictation.submit.tooltip":"Prepíše sa a odošle","composer.dictation.tooltip":"Podržaním diktuj","composer.dictation.transcribeError":"Nepodarilo sa prepísať zvukovú stopu","composer.dictation.unsupported":"Diktovanie nie je k dispozícii na tomto zariadení","composer.dropOverlay.holdShift":"Obrázok pustíš podržaním klávesu {key}","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Vytvoriť nové","composer.environmentSelector.error":"Chyba pri načítavaní prostredí","composer.environmentSelector.goBack":"Späť do skladateľa","composer.environmentSelector.title":"Vybrať prostredie","composer.environmentSelector.tooltip":"Vyberie sa cloudové prostredie","composer.feedbackSlashCommand.title":"Pripomienky","composer.filePicker.selectFile":"Vyber súbor","composer.filePicker.selectFiles":"Vyber súbory","composer.followerTooltip":"Ak chceš pokračovať, vráťte sa do okna, v ktorom začala táto konverzácia.","composer.footer.branchSwitch.checkoutError":"Prepnutie vetvy zlyhalo: {message}","composer.footer.branchSwitch.createAndCheckout":"Vytvoriť a skontrolovať novú vetvu…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Potvrď zmeny, aby sa vytvorila a skontrolovala nová vetva","composer.footer.branchSwitch.createBranchError":"Vytvorenie vetvy zlyhalo: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Názov vetvy","composer.footer.branchSwitch.createDialog.branchExistsError":"Vetva už existuje.","composer.footer.branchSwitch.createDialog.close":"Zatvoriť","composer.footer.branchSwitch.createDialog.createAndCheckout":"Vytvoriť a skontrolovať","composer.footer.branchSwitch.createDialog.placeholder":"nová-verva","composer.footer.branchSwitch.createDialog.title":"Vytvoriť a skontrolovať vetvu","composer.footer.branchSwitch.createDialog.trailingSlashError":"Názov vetvy nemôže končiť s /.","composer.footer.branchSwitch.tooltip":"Prepnúť vetvu","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Potvrď zmeny v {fileCount, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}} na kontrolu {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Potvrdiť","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"zmeny v {fileCount, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}} na kontrolu {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Zrušiť","composer.footer.branchSwitch.uncommittedDialog.commit":"Potvrdiť a prepnúť vetvu…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Tvoje zmeny nasledujúcich súborov budú prepísané kontrolou:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Ak chceš pokračovať, potvrď zmeny","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"vybratá vetva","composer.footer.branchSwitch.uncommittedDialog.title":"Na prepnutie vetvy potvrď zmeny","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nepotvrdené: {fileCount, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}}","composer.forkSlashCommand.description":"Toto vlákno sa rozvetví do lokálneho alebo nového pracovného stromu.","composer.forkSlashCommand.option.local.description":"Pokračovať v novom lokálnom vlákne","composer.forkSlashCommand.option.local.title":"Rozvetviť lokálne","composer.forkSlashCommand.option.worktree.description":"Pokračovať v novom pracovnom strome","composer.forkSlashCommand.option.worktree.title":"Rozvetviť v novom pracovnom strome","composer.forkSlashCommand.title":"Rozvetviť","composer.ideContextIndicator":"Kontext IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Zahrnúť kontext z IDE","composer.ideContextIndicator.tooltipToggle":"na prepnutie","composer.ideContextSlashCommand.disableDescription":"Vypnúť kontext IDE","composer.ideContextSlashCommand.enableDescription":"Vrátane aktuálneho výberu, otvorených súborov a ďalšieho kontextu z tvojho IDE","composer.ideContextSlashCommand.title":"Kontext IDE","composer.imageInputsUnsupported":"Tento model nepodporuje obrazové vstupy. Vyskúšaj iný model.","composer.imageUploadFailed":"Nahranie obrázka zlyhalo","composer.includeIdeContextDropdown":"Zahrnúť kontext IDE","composer.includeIdeContextDropdown.ariaLabel":"Zahrnúť kontext IDE","composer.localCwdDropdown.addWorkspaceRoot":"Pridať nový projekt","composer.localCwdDropdown.noActiveRoot":"Vyber svoj projekt","composer.localCwdDropdown.noResults":"Nenašli sa žiadne priečinky","composer.localCwdDropdown.title":"Vyber svoj projekt","composer.localTaskError":"Chyba pri spustení konverzácie","composer.mcpSlashCommand.description":"Zobrazí sa stav MCP servera","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Neoverené","composer.mcpStatus.authOauth":"Overené (OAuth)","composer.mcpStatus.authToken":"Overené (kľúč API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zatvoriť","composer.mcpStatus.disabled":"Zakázané","composer.mcpStatus.emptyLabel":"Servery:","composer.mcpStatus.emptyValue":"Žiadne nakonfigurované MCP servery","composer.mcpStatus.enabled":"Povolené","composer.mcpStatus.errorLabel":"Stav:","composer.mcpStatus.errorValue":"Nepodarilo sa načítať stav MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Prepnúť režim","composer.mode.agentMode.custom":"Vlastné","composer.mode.agentMode.custom.dropdownLabel":"Vlastné","composer.mode.agentMode.custom.option":"Vlastné (config.toml)","composer.mode.agentMode.custom.optionLabel":"Vlastné (config.toml)","composer.mode.agentMode.customInfo.cancel":"Zrušiť","composer.mode.agentMode.customInfo.cli":"Tieto nastavenia môžeš upraviť z CLI alebo upravením priamo súboru.","composer.mode.agentMode.customInfo.confirm":"Použiť vlastný režim","composer.mode.agentMode.customInfo.description":"Vlastný režim používa pravidlá politiky schvaľovania a testovacieho prostredia definované v tvojom súbore <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Ďalšie informácie o konfigurovaní pravidiel schvaľovania a testovacieho prostredia nájdeš v <link>dokumentoch o spustení prostredia</link>.","composer.mode.agentMode.customInfo.refresh":"Všetky zmeny sa prejavia pri ďalšom spustení agenta.","composer.mode.agentMode.customInfo.title":"Ako funguje vlastný režim","composer.mode.agentMode.fullAccess":"Agent (úplný prístup)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (úplný prístup)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (úplný prístup)","composer.mode.agentMode.fullAccessConfirm.caution":"Pri povoľovaní úplného prístupu buď opatrný/-á. Výrazne zvyšuje riziko straty údajov, únikov alebo neočakávaného správania.","composer.mode.agentMode.fullAccessConfirm.confirm":"Áno, pokračovať aj tak","composer.mode.agentMode.fullAccessConfirm.description":"Keď je agent Codex spustený s úplným prístupom, môže upravovať ktorýkoľvek súbor v počítači a spúšťať príkazy cez sieť bez tvojho súhlasu.","composer.mode.agentMode.fullAccessConfirm.goBack":"Zrušiť","composer.mode.agentMode.fullAccessConfirm.title":"Povoliť úplný prístup?","composer.mode.agentMode.readOnly":"Čet","composer.mode.agentMode.readOnly.dropdownLabel":"Čet","composer.mode.agentMode.readOnly.optionLabel":"Čet","composer.mode.agentMode.tooltip":"Prepnúť režim","composer.mode.agentMode.tooltip.auto":"Číta a upravuje súbory a spúšťa príkazy.","composer.mode.agentMode.tooltip.custom":"Použijú sa najnovšie pravidlá schvaľovania a testovacieho prostredia definované v súbore config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Agent Codex môže upravovať súbory mimo projektu a spúšťať príkazy s prístupom k sieti. Pri používaní buď opatrný/-á.","composer.mode.agentMode.tooltip.readOnly":"Úprava súborov a spúšťanie príkazov vyžadujú schválenie.","composer.mode.cloud.tooltip":"Pracuje sa v cloudovom prostredí","composer.mode.contactAdmin":"Ak chceš získať ďalší prístup, kontaktuj správcu","composer.mode.local":"Lokálne","composer.mode.local.learnMore":"Ďalšie informácie","composer.mode.local.model.custom":"Vlastné","composer.mode.local.model.loadingModel":"Načítava sa model","composer.mode.local.model.selecrReasoningEffort":"Vybrať myslenie","composer.mode.local.model.selectModel":"Vybrať model","composer.mode.local.model.tooltip":"Vyber model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Vysoké","composer.mode.local.reasoning.low.label":"Nízke","composer.mode.local.reasoning.medium.label":"Stredné","composer.mode.local.reasoning.minimal.label":"Minimálne","composer.mode.local.reasoning.none.label":"Žiadne","composer.mode.local.reasoning.xhigh.label":"Mimoriadne intenzívne","composer.mode.localRemoteWhereRun":"Vyberie sa miesto spustenia úlohy","composer.mode.newTask.header":"Pokračovať v","composer.mode.rateLimit.day":"{days} denne","composer.mode.rateLimit.heading":"Zostáva do limitu","composer.mode.rateLimit.hour":"{hours} hod","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Limit {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {týždenný limit} few {{weeks}-týždenný limit} many {{weeks}-týždenný limit} other {{weeks}-týždenný limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Týždenne} few {{weeks} týždne} many {{weeks} týždňa} other {{weeks} týždňov}}","composer.mode.remote.connectToCloud":"Pripojiť Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Nastav prostredie prostredníctvom Codex Web na povolenie odosielania úloh do cloudu","composer.mode.remote.selectEnvironment":"Vybrať prostredie","composer.mode.remote.sendToCloud":"Odoslať do cloudu","composer.mode.remote.setupViaWeb":"Nastaviť prostredie prostredníctvom Codex Web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Práca v cloudovom prostredí","composer.mode.segmentedToggle.local.tooltip":"Práca v lokálnom projekte","composer.mode.segmentedToggle.worktree.tooltip":"Práca v paralelnom pracovnom strome","composer.mode.upgradeToPlus":"Upgradovať na Plus","composer.mode.upgradeToPro":"Upgradovať na Pro","composer.mode.workLocally":"Lokálny projekt","composer.mode.workLocally.currentBranchFallback":"tvoja vetva","composer.mode.workLocally.tooltip":"Pracuje sa v {branchName}","composer.mode.worktree":"Nový pracovný strom","composer.mode.worktree.submoduleWarning":"Tento odkladací priestor obsahuje podmoduly git. Vytvorenie pracovného stromu môže zlyhať","composer.mode.worktree.tooltip":"Vytvorí sa kópia lokálneho projektu pre paralelnú prácu","composer.mode.worktreeSegment":"Pracovný strom","composer.modelChangeDuringConversationWarning.toast":"Zmena modelov počas konverzácie zníži výkon.","composer.newChat.heading.browser":"Čo by sme mali naprogramovať ako ďalšie?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex používa povolenie definované v súbore config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Agent Codex má úplný prístup k počítaču (zvýšené riziko)","composer.permissionsDropdown.custom.label":"Vlastné (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Vlastné (config.toml)","composer.permissionsDropdown.default.label":"Predvolené povolenia","composer.permissionsDropdown.default.optionLabel":"Predvolené povolenia","composer.permissionsDropdown.default.tooltip":"Agent Codex automaticky spúšťa príkazy v testovacom prostredí","composer.permissionsDropdown.disabled.requirements":"Povolenia sú uzamknuté súborom requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Režim úplného prístupu je zakázaný súborom requirements.toml","composer.permissionsDropdown.fullAccess.label":"Úplný prístup","composer.permissionsDropdown.fullAccess.optionLabel":"Úplný prístup","composer.permissionsDropdown.trigger.tooltip":"Zmeniť povolenia","composer.personalitySlashCommand.description.friendly":"Prívetivý, spolupracujúci a nápomocný","composer.personalitySlashCommand.description.pragmatic":"Stručný, zameraný na úlohu a priamy","composer.personalitySlashCommand.label.friendly":"Priateľský","composer.personalitySlashCommand.label.pragmatic":"Pragmatický","composer.personalitySlashCommand.notApplicableSuffix":"(Neplatí pre aktuálny model)","composer.personalitySlashCommand.title":"Osobnosť","composer.placeholder.cloudFollowUp.directFollowUp":"Ďalšie kroky tejto cloudovej úlohy","composer.placeholder.cloudFollowUp.local":"Vytvorí sa nová lokálna úloha odkazujúca na túto cloudovú úlohu","composer.placeholder.cloudFollowUp.workingTree":"Vytvorí sa nová cloudová úloha obsahujúca tvoj aktuálny kód a odkazujúca na túto úlohu","composer.placeholder.localFollowUp.cloud":"Ďalšie kroky novej cloudovej úlohy","composer.placeholder.localFollowUp.locally":"Požiadaj o zmeny ďalších krokov","composer.placeholder.newTask.cloud":"Požiadaj agenta Codex, aby vykonal čokoľvek v cloude","composer.placeholder.newTask.doAnything":"Požiadaj agenta Codex, aby vykonal čokoľvek","composer.placeholder.newTask.locally":"Opýtaj sa agenta Codex čokoľvek, @ na pridanie súborov, / pre príkazy","composer.planModeDropdown":"Režim tarify","composer.planModeDropdown.ariaLabel":"Režim tarify","composer.planModeIndicator":"Tarifa","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Vytvor plán s agentom Codex","composer.planModeIndicator.tooltipToggle":"na prepnutie","composer.planSlashCommand.disableDescription":"Vypne sa režim tarify","composer.planSlashCommand.enableDescription":"Zapne sa režim tarify","composer.planSlashCommand.title":"Režim tarify","composer.priorContext.label":"Predchádzajúci kontext","composer.priorContext.removeAriaLabel":"Odstrániť predchádzajúci kontext","composer.queuedMessage.delete":"Odstrániť správu vo fronte","composer.queuedMessage.edit":"Upraviť správu","composer.queuedMessage.more":"Akcie správy vo fronte","composer.queuedMessage.sendNow":"Riadiť","composer.queuedMessage.sendNowTooltip":"Odošle sa teraz bez prerušenia práce","composer.queuedMessage.turnOff":"Vypnúť zaraďovanie do fronty","composer.reasoningEffort.local.reasoning.tooltip":"Vyberie sa úsilie pri myslení","composer.remote.branchStartingPoint":"Z ktorej vetvy by sa mala spustiť táto úloha?","composer.remote.branchesSectionHeading":"Vetvy","composer.remote.currentEditsSuffix.followUp":"Vytvorí sa nová úloha odkazujúca na túto cloudovú úlohu.","composer.remote.currentEditsSuffix.useLocal":"so zmenami lokálneho kódu","composer.remote.directFollowUp":"Nepoužijú sa lokálne zmeny","composer.remote.errorLoadingBranches":"Chyba pri načítaní vetiev","composer.remote.fromBranch":"Od {branch}","composer.remote.fromCurrentBranch":"Z {branch} (aktuálne)","composer.remote.loadingMoreBranches":"Načítava sa…","composer.remote.localFileStateHeading":"Stav lokálneho súboru","composer.remote.localWorkingTree":"Použijú sa lokálne zmeny","composer.remote.startingPoint":"Z ktorého kódu by sa mala spustiť táto úloha?","composer.reviewMode.branches.error":"Nepodarilo sa načítať vetvy","composer.reviewMode.branches.retry":"Skúsiť znova","composer.reviewMode.gitRoot.error":"Koreňový git sa nenašiel","composer.reviewMode.option.baseBranch.simple":"Skontrolovať v porovnaní so základnou vetvou","composer.reviewMode.option.unstaged.simple":"Skontrolovať nepotvrdené zmeny","composer.reviewMode.quickReviewError":"Spustenie kontroly kódu zlyhalo.","composer.reviewMode.title":"Kontrola kódu","composer.sandboxButton.unlock.disabled.tooltip":"Režim úplného prístupu je zakázaný súborom requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Agent Codex môže v systéme Windows použiť experimentálne testovacie prostredie na obmedzenie prístupu k systému súborov a sieti. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Povoliť testovacie prostredie systému Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Používať len na čítanie","composer.searchEnvironments":"Hľadať prostredia","composer.skillMentionList.app":"Aplikácia","composer.skillMentionList.loading":"Načítavajú sa zručnosti...","composer.skillMentionList.noResults":"Nenašli sa žiadne zručnosti","composer.slashCommands.cloudEnvironment.title":"Cloudové prostredie","composer.slashCommands.dialogLabel":"Ponuka lomkových príkazov","composer.slashCommands.dialogTitle":"Lomkové príkazy","composer.slashCommands.disabledTooltip":"Spustí sa nová konverzácia na používanie lomkových príkazov","composer.slashCommands.inputPlaceholder":"Hľadaj","composer.slashCommands.noResults":"Žiadne príkazy","composer.slashCommands.skillsGroup":"Zručnosti","composer.slashCommands.tooltip":"Prehľadávajú sa lomkové príkazy","composer.status.close":"Zatvoriť","composer.statusPlain.alertLabel":"Upozornenie:","composer.statusPlain.alertValue":"Zostáva: {remaining} % v {window}","composer.statusPlain.contextLabel":"Kontext:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"(použité: {used}/{total})","composer.statusPlain.contextValueRemaining":"Zostáva: {remaining} %","composer.statusPlain.heading":"Stav","composer.statusPlain.modelRateLimitSectionLabel":"Limit {modelName}:","composer.statusPlain.rateLimitDays":"Limit {count} d","composer.statusPlain.rateLimitFallbackLabel":"Limit tarify:","composer.statusPlain.rateLimitHours":"Limit {count} h","composer.statusPlain.rateLimitLabelBase":"Limit tarify","composer.statusPlain.rateLimitMinutes":"Limit {count} m","composer.statusPlain.rateLimitPercent":"Zostáva: {remaining} %","composer.statusPlain.rateLimitReset":"zresetuje {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"čas resetovania nie je k dispozícii","composer.statusPlain.rateLimitUnavailable":"Nie je k dispozícii","composer.statusPlain.sessionCopiedAriaLabel":"Skopírovalo sa ID relácie","composer.statusPlain.sessionCopiedTooltip":"Skopírovalo sa ID","composer.statusPlain.sessionCopyAriaLabel":"Skopírovať ID relácie","composer.statusPlain.sessionCopyTooltip":"Skopíruj ID","composer.statusPlain.sessionLabel":"Relácia:","composer.statusSlashCommand.description":"Zobraziť ID vlákna, používanie kontextu a limity tarify","composer.statusSlashCommand.title":"Stav","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Nepodarilo sa poslať správu","composer.submit.emptyMessage":"Na začiatok napíš správu","composer.submit.imageInputsUnsupported":"Ak chceš odoslať túto správu, odstráň obrázky alebo prepni modely.","composer.submit.loadingLocalConfig":"Načítava sa…","composer.submit.missingCloudConfig":"Musíš vybrať cloudové prostredie","composer.submit.missingCloudTurn":"Nie je možné sledovať túto úlohu","composer.submit.noWorkspace":"Pridaj projekt na použitie agenta Codex","composer.submit.waitForImageUploads":"Nahrávanie obrázkov…","composer.submitButtonTooltip.send":"Odoslať","composer.submitButtonTooltip.stop":"Zastaviť","composer.worktreeEnvironment.create":"Vytvoriť lokálne prostredie","composer.worktreeEnvironment.default":"Predvolené prostredie","composer.worktreeEnvironment.error":"Chyba pri načítavaní prostredí","composer.worktreeEnvironment.loading":"Načítavajú sa prostredia…","composer.worktreeEnvironment.title":"Lokálne prostredie","composer.worktreeEnvironment.tooltip":"Vyberie sa lokálne prostredie","composer.worktreeSetupFailed":"Nastavenie pracovného stromu zlyhalo. Skontroluj .codex/environments, či neobsahuje inštalačný skript.","compoundButton.secondaryAction":"Sekundárna akcia","copyButton.copied":"Skopírované","copyButton.copiedAriaLabel":"Skopírované","copyButton.copy":"Kopírovať","copyButton.copyAriaLabel":"Kopírovať","copyButton.copyCode":"Kopírovať kód","diff.actionButton.revertFile":"Vrátiť súbor","diff.actionButton.revertHunk":"Vrátiť","diff.actionButton.revertSection":"Vrátiť všetko","diff.actionButton.revertSectionLabel":"Vrátiť všetko","diff.actionButton.stageFile":"Súbor fázy","diff.actionButton.stageHunk":"Fáza","diff.actionButton.stageSection":"Vytvoriť fázu pre všetky","diff.actionButton.stageSectionLabel":"Vytvoriť fázu pre všetky","diff.actionButton.unstageFile":"Zrušiť fázu súboru","diff.actionButton.unstageHunk":"Zrušiť fázu","diff.actionButton.unstageSection":"Zrušiť fázu pre všetky","diff.actionButton.unstageSectionLabel":"Zrušiť fázu pre všetky","diff.fileHeader.toggle":"Prepnúť porovnanie súborov","electron.onboarding.login.apikey.cancel":"Zrušiť","electron.onboarding.login.apikey.continue":"Pokračovať","electron.onboarding.login.apikey.label":"Kľúč API OpenAI","electron.onboarding.login.apikey.open":"Zadať kľúč API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Zrušiť prihlásenie","electron.onboarding.login.chatgpt.continue":"Pokračovať s modulom ChatGPT","electron.onboarding.login.devbox":"Pripojiť sa k vzdialenému SSH","electron.onboarding.login.error":"Prihlásenie zlyhalo: {rawMessage}","electron.onboarding.login.snake.start":"Prehrať Snake","electron.onboarding.login.sshConfig.cancel":"Zrušiť","electron.onboarding.login.sshConfig.continue":"Pokračovať","electron.onboarding.login.sshConfig.hostnameLabel":"Názov hostiteľa SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Najlepší spôsob tvorby s agentmi","electron.onboarding.login.title":"Víta ťa Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Pokračovať","electron.onboarding.welcome.doubleLimits.description":"V rámci oslavy uvedenia aplikácie Codex máte do 2. apríla dvojnásobné limity tarify.","electron.onboarding.welcome.freego.description":"Agent Codex je súčasťou tvojej tarify zadarmo až do 2. marca – začnime tvoriť spoločne.","electron.onboarding.welcome.new.title.anon":"Vitaj!","electron.onboarding.workspace.continue":"Pokračovať","electron.onboarding.workspace.empty":"Pridaj projekt a pokračuj.","electron.onboarding.workspace.listLabel":"Dostupné projekty","electron.onboarding.workspace.loading":"Načítavajú sa projekty…","electron.onboarding.workspace.openFolder":"Pridať projekt","electron.onboarding.workspace.selectAll":"Vybrať všetko","electron.onboarding.workspace.skip":"Preskočiť","electron.onboarding.workspace.skip.error":"Nepodarilo sa vytvoriť nový projekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Neznáma chyba","electron.onboarding.workspace.skipping":"Vytvára sa nový projekt…","electron.onboarding.workspace.subtitle":"Agent Codex bude môcť upravovať súbory a spúšťať príkazy vo vybraných priečinkoch.","electron.onboarding.workspace.title":"Vybrať projekt","errorPage.list.checkSettings":"Skús aktualizovať nastavenia IDE","errorPage.list.configToml":"Skontroluj config.toml pre neplatné nastavenia","errorPage.list.downloadExtension":"Skús stiahnuť inú verziu rozšírenia","errorPage.list.runInWsl":"V prípade problémov s kompatibilitou skontroluj nastavenia a zakáž spúšťanie v prostredí WSL.","execApprovalRequest.menu.runAlways":"Áno, a v tejto relácii sa už nabudúce nepýtať","execApprovalRequest.menu.runAlwaysWithAmendment":"Áno, a nabudúce sa nepýtať znova na príkazy začínajúce s {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Áno, a nabudúce sa nepýtať znova na príkazy začínajúce s","execApprovalRequest.menu.runOnce":"Áno","execApprovalRequest.prompt":"Chceš spustiť tento príkaz?","execApprovalRequest.reject":"Nie","execFooter.exitCode":"Kód ukončenia {code}","execFooter.exitCode.unknown":"neznámy","execFooter.success":"Úspešne","feedback.dialog.category.badResult":"Zlý výsledok","feedback.dialog.category.bug":"Chyba","feedback.dialog.category.goodResult":"Dobrý výsledok","feedback.dialog.category.other":"Iné","feedback.dialog.descriptionPlaceholder":"Tu popíš problém","feedback.dialog.dismiss":"Skryť","feedback.dialog.includeLogsLabel":"Zahrnú sa denníky aktuálnej relácie agenta Codex","feedback.dialog.submit":"Odoslať","feedback.dialog.submitError":"Nepodarilo sa odoslať tvoje pripomienky. Skús to znova o chvíľu.","feedback.dialog.title":"Pripomienky","feedback.dialog.uploadedMessage.existingIssue":"existujúci otvorený problém","feedback.dialog.uploadedMessage.openIssue":"otvor problém GitHub","feedback.dialog.uploadedMessage.withThread":"Pripomienky sa nahrali. Ak problém pretrváva, {openIssueLink} alebo spomeň ID vlákna v {existingIssueLink}:","feedback.dialog.uploadedTitle":"Pripomienky sa nahrali","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Odstrániť {filename}","header.back":"Späť","header.recentChats":"Úlohy","header.recentTasks.seeAll":"Zobraziť všetko ({total})","home.header.getPlus":"Získať Plus","home.hero.letsBuild":"Poďme tvoriť","homePage.mainContent":"Hlavný obsah","imageAttachment.defaultName":"obrázok","imageAttachment.preview.close":"Zatvoriť ukážku obrázka","imageAttachment.removeAriaLabel":"Odstrániť {filename}","implementPlanRequest.option.implement":"Áno, implementovať tento plán","implementPlanRequest.prompt":"Implementovať tento plán?","inbox.archived.deleteError":"Nepodarilo sa odstrániť archivované spustenie","inbox.archived.deleteRun":"Odstrániť archivované spustenie","inbox.archived.deleteSuccess":"Archivované vlákno sa odstránilo. Môžeš ho zobraziť v <settingsLink>archivovaných vláknach</settingsLink>.","inbox.archived.inlineLabel.auto":"Toto vlákno sa archivovalo automaticky. <learnMoreLink>Ďalšie informácie</learnMoreLink>","inbox.archived.inlineLabel.manual":"Toto vlákno sa archivovalo.","inbox.archived.noMessageFound":"Nenašla sa žiadna správa","inbox.automations.createError":"Nepodarilo sa vytvoriť automatizáciu","inbox.automations.deleteConfirm.cancel":"Zrušiť","inbox.automations.deleteConfirm.confirm":"Odstrániť automatizáciu","inbox.automations.deleteConfirm.description":"Týmto sa natrvalo odstráni automatizácia a zastavia sa akékoľvek budúce spustenia.","inbox.automations.deleteConfirm.title":"Odstrániť {name}?","inbox.automations.deleteError":"Nepodarilo sa odstrániť automatizáciu","inbox.automations.editTooltip":"Upraviť automatizáciu","inbox.automations.inProgress":"Prebieha","inbox.automations.new":"Nové","inbox.automations.newToolbar":"Nová automatizácia","inbox.automations.pauseTooltip":"Pozastaviť automatizáciu","inbox.automations.resumeTooltip":"Obnoviť automatizáciu","inbox.automations.startingNow":"Spúšťa sa","inbox.automations.startsIn":"Spustí sa o {startTime}","inbox.automations.status.active":"Aktívne","inbox.automations.status.paused":"Pozastavené","inbox.automations.status.runs":"Spustenia: {count}","inbox.automations.status.started":"Začiatok: {date}","inbox.automations.updateError":"Nepodarilo sa aktualizovať automatizáciu","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Všetko","inbox.filter.ariaLabel":"Filtrovať položky inboxu","inbox.filter.unread":"Neprečítané","inbox.list.archived":"Archivované","inbox.list.inProgress":"Prebieha","inbox.list.recent":"Dokončené","inbox.list.upNext":"Naplánované","inbox.mode.automations":"Automatizácie","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Neposkytnutý opis","inbox.openThread":"Otvoriť vlákno","inbox.rightPanel.emptySubtitle":"Automatizuj prácu nastavením plánovaných úloh","inbox.rightPanel.emptySubtitle.learnMore":"Automatizuj prácu nastavením plánovaných vláken. <link>Ďalšie informácie</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktívna automatizácia} few {# aktívne automatizácie} many {# aktívnej automatizácie} other {# aktívnych automatizácií}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Žiadne neprečítané automatizácie","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# neprečítaná automatizácia} few {# neprečítané automatizácie} many {# neprečítanej automatizácie} other {# neprečítaných automatizácií}}","inbox.rightPanel.emptyTitle":"Žiadna vybratá položka","inbox.rightPanel.noThread":"Žiadne vlákno pre túto položku","inbox.rightPanel.quickStart.header":"Začni so šablónou","inbox.untitled":"Položka inboxu bez názvu","loadingPage.documentationLink":"dokumentácia","loadingPage.errorDescription":"Agent Codex zlyhal s nasledujúcou chybou:","loadingPage.errorDescription.documentation":"Kliknutím reštartuj rozšírenie agenta Codex alebo navštív stránku {documentationLink} pre ďalšiu pomoc.","loadingPage.errorSignal":"Niečo na vyskúšanie:","loadingPage.errorTitle":"Vyskytla sa chyba","loadingPage.openConfigToml":"Otvoriť config.toml","loadingPage.reload":"Načítať znova","localConversation.contextCompacted":"Kontext sa automaticky zhustil","localConversation.contextCompacting":"Automatické zhusťovanie kontextu","localConversation.forkedFromConversation":"Rozvetvené z {threadTitle}","localConversation.merge.autoResolve.failed":"Žiadosť o automatické vyriešenie zlyhala: {error}","localConversation.merge.autoResolve.sent":"Žiadosť o automatické vyriešenie sa odoslala","localConversation.merge.autoResolveMerge.missingConversation":"Automatické vyriešenie nie je možné bez aktívnej konverzácie.","localConversation.merge.autoResolveMerge.request":"Automaticky vyriešiť konflikty pri zlučovaní","localConversation.modelChanged":"Model sa zmenil z {fromModel} na {toModel}.","localConversation.modelChanged.warning.line1":"Zmena modelov počas konverzácie zníži výkon.","localConversation.modelChanged.warning.line2":"Kontext sa môže automaticky zhustiť.","localConversation.moveThread.createBranch.label":"Vytvoriť vetvu","localConversation.moveToLocal.disabled.loading":"Načítava sa…","localConversation.moveToLocal.modal.continue":"Pokračovať","localConversation.moveToLocal.modal.destinationLabel":"Presunúť do","localConversation.moveToLocal.modal.retry":"Skúsiť znova","localConversation.moveToWorktree.modal.back":"Späť","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Vetva už existuje.","localConversation.moveToWorktree.modal.branchesError":"Nepodarilo sa načítať vetvy","localConversation.moveToWorktree.modal.branchesLoading":"Načítavajú sa vetvy…","localConversation.moveToWorktree.modal.branchesRetry":"Skúsiť znova","localConversation.moveToWorktree.modal.continue":"Pokračovať","localConversation.moveToWorktree.modal.retry":"Skúsiť znova","localConversation.moveToWorktree.modal.trailingSlashError":"Názov vetvy nemôže končiť s /.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nová-verva","localConversation.personalityChanged":"Preplo sa na osobnosť {personality}","localConversation.planSummary.collapse":"Zbaliť súhrn tarify","localConversation.planSummary.collapseTooltip":"Zbaliť","localConversation.planSummary.download":"Stiahnuť plán","localConversation.planSummary.expand":"Rozbaliť súhrn tarify","localConversation.planSummary.expandTooltip":"Rozbaliť","localConversation.planSummary.openInNewWindow":"Otvoriť","localConversation.planSummary.openInNewWindow.tooltip":"Otvoriť v novom okne","localConversation.planSummary.title":"Tarifa","localConversation.planSummary.titleWriting":"Píše sa plán","localConversation.planSummary.viewPlan":"Rozšíriť tarifu","localConversation.remoteTaskCreated":"Vytvorila sa {taskLink} v Codex Cloud","localConversation.remoteTaskCreated.task":"úloha","localConversation.scrollToBottomButton":"Presunúť sa nadol","localConversation.sync.buttonLabel":"Odovzdať lokálnemu prostrediu","localConversation.sync.buttonLabel.tooltip":"Odovzdaj zmeny medzi týmto pracovným stromom a lokálnou kontrolou.","localConversation.sync.modal.loading.title":"Odovzdávajú sa zmeny…","localConversation.sync.modal.noChanges":"Žiadne zmeny","localConversation.syncSetup.branchAriaLabel":"Názov vetvy","localConversation.syncSetup.branchName":"Názov vetvy","localConversation.syncSetup.branchPlaceholder.existing":"Vyber existujúcu vetvu","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Načítavajú sa vetvy…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Už skontrolované","localConversation.syncSetup.checkoutClean":"Aktuálne v {branchName}","localConversation.syncSetup.checkoutDirty":"Aktuálne v {branchName} s nepotvrdenými zmenami","localConversation.syncSetup.checkoutError":"Kontrola vetvy zlyhala: {message}","localConversation.syncSetup.checkoutLabel":"Skontrolovať lokálne hneď teraz","localConversation.syncSetup.checkoutOnLocal":"Odovzdať lokálnemu prostrediu","localConversation.syncSetup.checkoutPending":"Kontroluje sa lokálny stav…","localConversation.syncSetup.checkoutUnavailable":"Lokálny pracovný priestor nie je k dispozícii","localConversation.syncSetup.checkoutUnknown":"Lokálna vetva nie je k dispozícii","localConversation.syncSetup.continue":"Pokračovať","localConversation.syncSetup.createBranchError":"Nastavenie odovzdania vetvy zlyhalo: {message}","localConversation.syncSetup.error":"Niekde sa stala chyba: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nepodarilo sa vytvoriť sumár pracovného stromu. Skús vykonať odovzdanie znova.","localConversation.syncSetup.mode.ariaLabel":"Vyber režim vetvy","localConversation.syncSetup.mode.existing":"Existujúca vetva","localConversation.syncSetup.mode.new":"Nová vetva","localConversation.syncSetup.noBranches":"Nenašli sa žiadne vetvy","localConversation.syncSetup.overwriteError":"Vetva sa vytvorila, ale neodovzdala sa úplne. Pred lokálnou kontrolou ju odovzdaj manuálne.","localConversation.syncSetup.setPrefix":"Nastaviť predponu","localConversation.syncSetup.subtitle":"Testuj a upravuj zmeny pracovného stromu lokálne. <a>Ďalšie informácie</a>","localConversation.syncSetup.success.checkedOut":"Vetva sa vytvorila a kontroluje sa lokálne","localConversation.syncSetup.success.notCheckedOut":"Vetva sa vytvorila","localConversation.syncSetup.title":"Odovzdať lokálnej vetve","localConversation.syncWorktreeError.branchAriaLabel":"Názov vetvy","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Vyber vetvu, ktorej chceš odovzdať zmeny, a potom zmeny načítaj znova.","localConversation.syncWorktreeError.branchSetup.title":"Aktualizovať vetvu","localConversation.syncWorktreeError.branchUpdate.cta":"Aktualizovať a skúsiť znova","localConversation.syncWorktreeError.branchUpdate.error":"Aktualizácia vetvy zlyhala: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Niekde sa stala chyba: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Vetva nie je skontrolovaná v žiadnom pracovnom strome.","localConversation.syncWorktreeV2.applyUncommitted":"Použiť","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Ak chceš použiť nepotvrdené zmeny, musíš lokálne skontrolovať vetvu.","localConversation.syncWorktreeV2.branches.empty":"Nenašli sa žiadne vetvy","localConversation.syncWorktreeV2.branches.loading":"Načítavajú sa vetvy…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Zmeniť odovzdanie vetvy","localConversation.syncWorktreeV2.changeBranch.error":"Zmena odovzdania vetvy zlyhala: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Použitie zlyhalo","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Prepísanie pracovného stromu zlyhalo","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Prepísanie lokálnych zmien zlyhalo","localConversation.syncWorktreeV2.commandError.back":"Späť","localConversation.syncWorktreeV2.commandError.body":"Príkaz git zlyhal pri odovzdávaní. Skontroluj výstup a skús to znova.","localConversation.syncWorktreeV2.commandError.retry":"Skúsiť znova","localConversation.syncWorktreeV2.description":"Odovzdajú sa zmeny medzi lokálnym prostredím a týmto pracovným stromom. <a>Ďalšie informácie</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"Výber smeru odovzdania","localConversation.syncWorktreeV2.error.generic":"Počas odovzdávania sa niekde stala chyba. Skús to znova.","localConversation.syncWorktreeV2.localBranchLabel":"Lokálne","localConversation.syncWorktreeV2.noChanges":"Počítanie zmien","localConversation.syncWorktreeV2.noChanges.summary":"Žiadne zmeny","localConversation.syncWorktreeV2.overwrite.local":"Prepísať lokálne zmeny","localConversation.syncWorktreeV2.overwrite.worktree":"Prepísať pracovný strom","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nepodarilo sa použiť zmeny","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nepodarilo sa prepísať lokálne zmeny","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nepodarilo sa prepísať zmeny v pracovnom strome","localConversation.syncWorktreeV2.partial.appliedLabel":"Použité","localConversation.syncWorktreeV2.partial.back":"Späť","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Vyrieš konflikty a skús to znova.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikty","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}}","localConversation.syncWorktreeV2.partial.retry":"Skúsiť znova","localConversation.syncWorktreeV2.partial.skippedLabel":"Preskočené","localConversation.syncWorktreeV2.stateFailed.generic":"Pri získavaní zmien pracovného stromu na odovzdanie sa niekde stala chyba. Skús to znova.","localConversation.syncWorktreeV2.stateFailed.title":"Načítanie zmien pracovného stromu zlyhalo","localConversation.syncWorktreeV2.statusError.diffUnknown":"Načítanie zmien pracovného stromu zlyhalo.","localConversation.syncWorktreeV2.statusError.retry":"Skúsiť znova","localConversation.syncWorktreeV2.statusError.title":"Nepodarilo sa načítať zmeny lokálnej vetvy","localConversation.syncWorktreeV2.statusError.unknown":"Stav vetvy nie je momentálne k dispozícii. Skús to znova.","localConversation.syncWorktreeV2.success.apply":"Zmeny sa úspešne použili","localConversation.syncWorktreeV2.success.overwrite":"Odovzdanie bolo úspešné","localConversation.syncWorktreeV2.title":"Odovzdanie zmien","localConversation.syncWorktreeV2.worktreeLabel":"Pracovný strom","localConversation.userInputRequest.inProgress":"Pýta sa {count, plural, one {otázku} few {otázky} many {otázky} other {otázok}}","localConversation.userInputRequest.noAnswer":"Žiadna poskytnutá odpoveď","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Opýtané","localConversation.userInputRequest.summary.count":"{count, plural, one {# otázka} few {# otázky} many {# otázky} other {# otázok}}","localConversation.workedFor":"Pracoval som {time}","localConversation.worktreeBranchSetup.action.create":"Vytvoriť","localConversation.worktreeBranchSetup.branchAriaLabel":"Názov vetvy","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Vytvoriť novú vetvu","localConversation.worktreeBranchSetup.checkoutDisabled":"Táto vetva je už skontrolovaná v {location}","localConversation.worktreeBranchSetup.checkoutError":"Kontrola vetvy zlyhala: {message}","localConversation.worktreeBranchSetup.createBranchError":"Nastavenie vetvy zlyhalo: {message}","localConversation.worktreeBranchSetup.error":"Niekde sa stala chyba: {message}","localConversation.worktreeBranchSetup.subtitle":"Vytvor vetvu na potvrdenie zmien, ich odoslanie a vytvorenie PR z tohto pracovného stromu. <a>Ďalšie informácie</a>.","localConversation.worktreeBranchSetup.title":"Tu pracuj","localConversationPage.addWorktreeToSidebar.tooltip":"Ulož to ako projekt, aby si mohol/-a z tohto pracovného stromu začínať nové vlákna","localConversationPage.addWorktreeToSidebarError":"Pridanie projektu zlyhalo","localConversationPage.commitAndCreatePrModal.errorTitle":"Potvrdenie a vytvorenie PR zlyhalo","localConversationPage.commitAndCreatePrModal.successTitle":"Potvrdilo sa a vytvorilo PR","localConversationPage.commitAndPushModal.errorTitle":"Potvrdenie a odoslanie zlyhalo","localConversationPage.commitAndPushModal.successTitle":"Potvrdené a odoslané zmeny","localConversationPage.commitCreatePr.open":"Otvoriť žiadosť o stiahnutie","localConversationPage.commitCreatePr.successTitle":"Vytvorené PR s najnovšími zmenami","localConversationPage.createBranchButtonLabel":"Tu vetviť","localConversationPage.createPrModal.baseBranch":"Základ","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Vytvoriť PR","localConversationPage.createPrModal.createDescription":"Otvorí sa žiadosť o stiahnutie pre najnovšie zmeny.","localConversationPage.createPrModal.errorTitle":"Žiadosť o stiahnutie zlyhala","localConversationPage.createPrModal.headBranch":"Hlava","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Otvoriť PR","localConversationPage.createPrModal.successTitle":"Žiadosť o stiahnutie sa vytvorila","localConversationPage.createPrModal.title":"Vytvorenie žiadosti o stiahnutie","localConversationPage.createPrModal.viewDescription":"Pre túto vetvu už existuje žiadosť o stiahnutie.","localConversationPage.createPrModal.viewTitle":"Žiadosť o stiahnutie je pripravená","localConversationPage.createPullRequestAuthGh":"Overenie GitHub CLI: spusti gh auth login","localConversationPage.createPullRequestBranchMissing":"Informácie o vetve nie sú k dispozícii","localConversationPage.createPullRequestButtonLabel":"Vytvoriť PR","localConversationPage.createPullRequestButtonLabel.loading":"Vytvára sa PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Predvolené informácie o vetve nie sú k dispozícii","localConversationPage.createPullRequestError":"Vytvorenie žiadosti o stiahnutie zlyhalo","localConversationPage.createPullRequestExistingPullRequest":"Pre túto vetvu už existuje žiadosť o stiahnutie","localConversationPage.createPullRequestGhStatusMissing":"Načítava sa stav GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Nainštaluj GitHub CLI (gh) na vytváranie PR","localConversationPage.createPullRequestNoRepo":"Nenašiel sa žiadny odkladací priestor git","localConversationPage.createPullRequestPushStatusMissing":"Načítava sa stav odoslania…","localConversationPage.createPullRequestSetUpstream":"Túto vetvu odošli pred vytvorením PR","localConversationPage.createPullRequestSuccessToast":"Žiadosť o stiahnutie sa vytvorila","localConversationPage.createPullRequestSwitchBranch":"Vetvu funkcie over pred vytvorením PR","localConversationPage.error.render":"Chyba pri vykresľovaní lokálnej konverzácie","localConversationPage.error.toast":"Konverzácia sa nenašla","localConversationPage.forcePushError":"Vynútené odoslanie zlyhalo","localConversationPage.generatePullRequestMessageError":"Nepodarilo sa vygenerovať názov a telo žiadosti o stiahnutie.","localConversationPage.generatePullRequestMessageFailed":"Nepodarilo sa vygenerovať názov a telo žiadosti o stiahnutie.","localConversationPage.gitActionResult.branch":"Vetva","localConversationPage.gitActionResult.cancel":"Zrušiť","localConversationPage.gitActionResult.close":"Zatvoriť","localConversationPage.gitActionResult.tryAgain":"Skúsiť znova","localConversationPage.gitActions":"Akcie Git","localConversationPage.newChat":"Nový čet","localConversationPage.openInTarget":"Otvoriť v","localConversationPage.openPrimaryTarget":"Otvoriť","localConversationPage.planItemsCompleted":"{completedItems} z {totalItems, plural, one {# úloha sa dokončila} few {# úlohy sa dokončili} many {# úlohy sa dokončilo} other {# úloh sa dokončilo}}","localConversationPage.pushAuthError":"Odoslanie zlyhalo: vyžaduje sa overenie","localConversationPage.pushBranchMissing":"Informácie o vetve nie sú k dispozícii","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Odosielanie…","localConversationPage.pushError":"Odoslanie zmien zlyhalo","localConversationPage.pushModal.branchLabel":"Vetva","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Zrušiť","localConversationPage.pushModal.confirm":"Odoslať","localConversationPage.pushModal.description":"Odošli najnovšie potvrdenia do vzdialeného odkladacieho priestoru.","localConversationPage.pushModal.errorTitle":"Odoslanie zlyhalo","localConversationPage.pushModal.forcePush":"Vynútené odoslanie","localConversationPage.pushModal.successTitle":"Odoslanie je dokončené","localConversationPage.pushModal.title":"Zmeny odoslania","localConversationPage.pushModal.tryAgain":"Skúsiť znova","localConversationPage.pushNoUpstream":"Poskytnutie údajov nastav pred odoslaním tejto vetvy","localConversationPage.pushNoUpstreamError":"Odoslanie zlyhalo: nie je nakonfigurované poskytovanie údajov","localConversationPage.pushNothingToPush":"Žiadne nové potvrdenia na odoslanie","localConversationPage.pushRemoteChangedError":"Odoslanie zlyhalo: vzdialené zariadenie má nové zmeny","localConversationPage.pushRemoteRejectedError":"Odoslanie odmietlo vzdialené zariadenie","localConversationPage.pushStatusMissing":"Načítava sa stav odoslania…","localConversationPage.pushSuccessToast":"Odoslané zmeny","localConversationPage.viewPullRequestButtonLabel":"Zobraziť PR","localConversationPage.viewPullRequestButtonLabel.loading":"Načítavanie žiadosti o stiahnutie…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# zoznam} few {# zoznamy} many {# zoznamov} other {# zoznamov}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# hľadanie} few {# hľadaní} many {# hľadaní} other {# hľadaní}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Skúmanie","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Preskúmané","localConversationTurn.exploration.accordion.header.complete.withCounts":"Preskúmané: {counts}","localConversationTurnStory.showContent":"Zobraziť obsah","localConversationTurnStory.streamContent":"Streamovať obsah","localConversationTurnStory.toggleReasoning":"Zobraziť myslenie","localTaskRow.archiveError":"Archivovanie konverzácie zlyhalo","localTaskRow.resumeError":"Obnovenie úlohy zlyhalo","mermaidDiagram.ariaLabel":"Diagram nástroja Mermaid","mermaidDiagram.copySource":"Kopírovať nástroj Mermaid","mermaidDiagram.originalCode":"Zdrojový kód nástroja Mermaid","notifications.permissions.description":"Zobrazuje upozornenia, keď sa vyžadujú povolenia na upozornenia","notifications.permissions.label":"Povoliť upozornenia na povolenia","notifications.turnMode.always":"Vždy","notifications.turnMode.description":"Nastav, kedy ťa agent Codex upozorní na dokončenie","notifications.turnMode.label":"Zapnúť upozornenia na dokončenie","notifications.turnMode.off":"Nikdy","notifications.turnMode.unfocused":"Len mimo zamerania","patchApprovalRequest.approve":"Schváliť","patchApprovalRequest.menu.allowAlways":"Áno, a v tejto relácii sa už nabudúce nepýtať","patchApprovalRequest.menu.allowForSession":"Áno, a v tejto relácii sa už nabudúce nepýtať","patchApprovalRequest.menu.allowOnce":"Áno","patchApprovalRequest.prompt":"Chceš vykonať tieto zmeny?","patchApprovalRequest.reject":"Nie","patchApprovalRequest.waitingForApproval":"Čaká sa na schválenie úpravy súborov","pendingRequest.approvalExec.collapse":"Zbaliť","pendingRequest.approvalExec.expand":"Rozbaliť","pendingRequestStory.toastAnswer":"Odpoveď: {answer}","pendingRequestStory.toastApprovalTitle":"Schvaľovacia odpoveď","pendingRequestStory.toastFollowupPrompt":"Príkaz: {prompt}","pendingRequestStory.toastFollowupTitle":"Ďalšie kroky odoslané","pendingRequestStory.toastNoAnswers":"Žiadne poskytnuté odpovede","pendingRequestStory.toastQuestion":"Otázka: {question}","pendingRequestStory.toastUnknownDecision":"Neznáme","pendingRequestStory.toastUserInputTitle":"Odoslané odpovede","quickAction.request.codeReview.branches.new":"Skontroluj zmeny týkajúce sa {from} v porovnaní s {to}","quickAction.request.codeReview.uncommitted.new":"Skontroluj moje nepotvrdené zmeny","reasoningItem.thinking":"Rozmýšľam","reasoningItem.thought":"Rozmýšľal som","reasoningItem.thoughtWithElapsed":"Rozmýšľal som {elapsed}","recentConversations.title":"Nedávne konverzácie","recentTasks.worktreeInitFailedTitle":"Inicializácia pracovného stromu zlyhala","recentTasks.worktreeSettingUpTitle":"Nastavuje sa pracovný strom","requestInputPanel.continue":"Pokračovať","requestInputPanel.dismiss":"Skryť","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Tu píš","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nie a povedz agentovi Codex, čo má robiť ináč","requestInputPanel.selectedBadge":"Vybraté","requestInputPanel.skip":"Preskočiť","requestInputPanel.submit":"Odoslať","review.commit.ariaLabel.includeUnstaged":"Vrátane zmien bez fázy","review.commit.buttonLabel":"Potvrdiť","review.commit.disabled.committing":"Potvrdzuje sa…","review.commit.disabled.loadingDiff":"Načítava sa porovnanie…","review.commit.disabled.missingContext":"Pridaj kontext na vygenerovanie správy o potvrdení","review.commit.disabled.noChanges":"Žiadne zmeny na potvrdenie","review.commit.disabled.noSelection":"Vyber zmeny na potvrdenie","review.commit.disabled.unavailable":"Potvrdenie momentálne nie je k dispozícii","review.commit.error":"Potvrdenie zmien zlyhalo","review.commit.form.changesToBeCommitted":"Zmeny","review.commit.form.commitTo":"Vetva","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Pokračovať","review.commit.form.title":"Potvrdenie zmien","review.commit.generate.emptyResponse":"Nepodarilo sa vygenerovať správu o potvrdení","review.commit.generate.failed":"Vygenerovanie správy o potvrdení zlyhalo: {error}","review.commit.generate.missingPrompt":"Pridaj kontext na vygenerovanie správy o potvrdení.","review.commit.includeUnstaged":"Vrátane zmien bez fázy","review.commit.loading.description":"Poriadne sa drž, môže to chvíľu trvať…","review.commit.loading.step.commit.done":"Potvrdené zmeny","review.commit.loading.step.commit.pending":"Potvrdzujú sa zmeny","review.commit.loading.step.createPr.done":"Žiadosť o stiahnutie sa vytvorila","review.commit.loading.step.createPr.pending":"Vytvára sa žiadosť o stiahnutie","review.commit.loading.step.push.done":"Odoslané do vetvy {branch}","review.commit.loading.step.push.pending":"Odosiela sa do vetvy {branch}","review.commit.loading.title.commit":"Potvrdzujú sa zmeny","review.commit.loading.title.createPr":"Vytvára sa PR","review.commit.loading.title.push":"Odosielajú sa zmeny","review.commit.messageLabel":"Potvrdiť správu","review.commit.messagePlaceholder":"Pre automatické generovanie správy o potvrdení to ponechaj prázdne","review.commit.nextSteps":"Ďalšie kroky","review.commit.nextSteps.commit":"Potvrdiť","review.commit.nextSteps.commitAndCreate":"Potvrdiť a vytvoriť PR","review.commit.nextSteps.commitAndPush":"Potvrdiť a odoslať","review.commit.nextSteps.prRequiresGh":"Vyžaduje sa GitHub CLI: {command}","review.commit.rows.changes":"Zmeny","review.commit.rows.commitCount":"{count, plural, one {# potvrdenie} few {# potvrdenia} many {# potvrdenia} other {# potvrdení}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# potvrdenie} few {# potvrdenia} many {# potvrdenia} other {# potvrdení}} a {stats}","review.commit.rows.fileCount":"{count, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}}","review.commit.state.error.body":"Pri potvrdzovaní sa niekde stala chyba. Skontroluj stav git a skús to znova.","review.commit.state.error.title":"Potvrdenie zlyhalo","review.commit.state.success.title":"Zmeny sa potvrdili","review.commit.untracked.loadingStats":"Načítavajú sa nesledované štatistiky porovnania…","reviewFindingAttachments.count":"{count, plural, one {# nájdenie} few {# nájdenia} many {# nájdenia} other {# nájdení}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Upravíš konfiguráciu a prispôsobíš správanie agenta","settings.agent.configuration.configToml.docs":"Dokumenty","settings.agent.configuration.configToml.restartNote":"Po úprave reštartuj agenta Codex, aby sa prejavili zmeny","settings.agent.configuration.subtitle":"Tieto nastavenia platia všade, kde sa používa agent Codex.","settings.automations.banner.danger":"Automatizácie sú spustené s predvolenými nastaveniami testovacieho prostredia, ktoré sú momentálne nastavené na plný prístup. Spúšťanie automatizácií na pozadí s plným prístupom so sebou prináša zvýšené riziko, pretože agent Codex môže upravovať súbory, spúšťať príkazy a pristupovať k sieti bez opýtania. Zváž aktualizáciu nastavení testovacieho prostredia na zápis do pracovného priestoru a pomocou <rulesDocsLink>pravidiel</rulesDocsLink> selektívne definuj, ktoré príkazy môže agent spúšťať s plným prístupom.","settings.automations.banner.defaultHowTo.default":"Automatizácie sú spustené s predvolenými nastaveniami testovacieho prostredia. Volania nástrojov zlyhajú, ak vyžadujú úpravu súborov mimo pracovného priestoru, prístup k sieti alebo prácu s aplikáciami v počítači. Príkazy na spustenie mimo testovacieho prostredia môžeš selektívne pridať na zoznam povolených príkazov použitím <rulesDocsLink>pravidiel</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizácie sú spustené s predvolenými nastaveniami testovacieho prostredia, ktoré sú nastavené len na čítanie. Volania nástrojov zlyhajú, ak vyžadujú úpravu súborov, prístup k sieti alebo prácu s aplikáciami v počítači. Zváž aktualizáciu nastavení testovacieho prostredia na zápis do pracovného priestoru.","settings.automations.cancel":"Zrušiť","settings.automations.create":"Vytvoriť","settings.automations.cwdEmpty":"Nie sú k dispozícii žiadne priečinky projektu","settings.automations.cwdLabel":"Projekty","settings.automations.cwdPlaceholder":"Vyber priečinok","settings.automations.cwdSubtitle":"Ak chceš, aby sa automatizácia spúšťala na konkrétnej vetve, môžeš to zadať v príkazovom riadku.","settings.automations.delete":"Odstrániť","settings.automations.dialog.editTitle":"Upraviť automatizáciu","settings.automations.dialog.newTitle":"Nová automatizácia","settings.automations.dialog.subtitle":"Automatizuj opakujúce sa úlohy na pozadí. Agent Codex pridá nájdenia do inboxu alebo automaticky archivuje úlohu, ak nemá čo nahlásiť. <learnMoreLink>Ďalšie informácie</learnMoreLink>","settings.automations.dialog.title":"Vytvoriť automatizáciu","settings.automations.executionCopy.git":"Automatizácie sú spustené na pozadí vo vyhradených pracovných stromoch.","settings.automations.executionCopy.nonGit":"Automatizácie v projektoch bez kontroly verzie sú spustené priamo v adresári projektu. Zváž použitie Git na povolenie spúšťania v pracovných stromoch na pozadí.","settings.automations.executionEnvironment.local":"Lokálne","settings.automations.executionEnvironment.worktree":"Pracovný strom","settings.automations.loading":"Načítava sa…","settings.automations.nameLabel":"Meno","settings.automations.namePlaceholder":"Kontrola problémov Sentry","settings.automations.pause":"Pozastaviť","settings.automations.promptLabel":"Príkaz","settings.automations.promptPlaceholder":"hľadaj zlyhania v $Sentry","settings.automations.resume":"Obnoviť","settings.automations.rruleSummaryFallback":"Vlastný plán","settings.automations.runNow":"Otestovať","settings.automations.save":"Uložiť","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} hod","settings.automations.scheduleBadge.weekdays":"Pracovné dni","settings.automations.scheduleBadge.weekends":"Víkendy","settings.automations.scheduleHeader":"Plán","settings.automations.scheduleHours":"hod.","settings.automations.scheduleLabel":"Frekvencia spustenia:","settings.automations.scheduleMode.daily":"Denne","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Typ plánu","settings.automations.scheduleSummary.daily":"Denne o {time}","settings.automations.scheduleSummary.interval":"Každú/-é/-ých {count} hod.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# deň} few {# dní} many {# dní} other {# dní}}","settings.automations.scheduleSummary.intervalDays":"{interval} v {days}","settings.automations.scheduleSummary.intervalHourly":"Každú hodinu","settings.automations.scheduleSummary.singleDay":"{day} o {time}","settings.automations.scheduleSummary.weekdays":"Cez pracovné dni o {time}","settings.automations.scheduleSummary.weekdaysLabel":"pracovné dni","settings.automations.scheduleSummary.weekends":"Cez víkendy o {time}","settings.automations.scheduleSummary.weekendsLabel":"víkendy","settings.automations.scheduleSummary.weekly":"{days} o {time}","settings.automations.scheduleWeekdays":"Zapnuté","settings.automations.weekdayState.excluded":"Vylúčené","settings.automations.weekdayState.included":"Zahrnuté","settings.conversationDetail.steps":"Kroky","settings.conversationDetail.steps.description":"Skryjú sa príkazy a výstupy","settings.conversationDetail.stepsWithCommands":"Kroky s kódovými príkazmi","settings.conversationDetail.stepsWithCommands.description":"Zobrazia sa príkazy a zbalí sa výstup","settings.conversationDetail.stepsWithOutput":"Kroky s kódovými výstupmi","settings.conversationDetail.stepsWithOutput.description":"Zobrazia sa príkazy a rozbalí sa výstup","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nie sú k dispozícii žiadne archivované čety.","settings.dataControls.archivedChats.error":"Nepodarilo sa načítať archivované čety.","settings.dataControls.archivedChats.loading":"Načítavanie archivovaných četov…","settings.dataControls.archivedChats.unarchive":"Obnoviť z archívu","settings.dataControls.archivedChats.unarchiveError":"Obnovenie četu z archívu zlyhalo","settings.dataControls.archivedChats.unarchiveSuccess":"Vlákno sa obnovilo z archívu. <viewNowLink>Zobraziť teraz</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Nearchivované vlákno.","settings.dataControls.archivedChats.untitled":"Čet bez názvu","settings.dataControls.archivedChats.viewNow":"Zobraziť teraz","settings.editRow.headerPlaceholder":"Kľúč","settings.editRow.removeEntry":"Odstrániť vstup","settings.editRow.valuePlaceholder":"Hodnota","settings.general.appearance":"Vzhľad","settings.general.appearance.codeFont":"Písmo kódu","settings.general.appearance.codeFont.description":"Upraví sa písmo a veľkosť používané pre kód v četoch a rozdieloch","settings.general.appearance.codeFontFamily":"Rodina písma kódu","settings.general.appearance.codeFontSize":"Veľkosť písma kódu","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Okná budú používať plné pozadie namiesto systémovej priehľadnosti","settings.general.appearance.opaqueWindows.label":"Použi nepriehľadné pozadie okna","settings.general.appearance.sansFontFamily":"Rodina písma Sans","settings.general.appearance.sansFontFamily.description":"Uprav použité písmo pre používateľské rozhranie agenta Codex","settings.general.appearance.sansFontSize":"Veľkosť písma Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Zobrazia sa efekty osláv v celom okne, kým GPT-5.3-Codex-Spark spúšťa prvý krok","settings.general.appearance.sparkCelebrationEffects.label":"Efekty iskrivej oslavy","settings.general.appearance.theme":"Motív","settings.general.appearance.theme.dark":"Tmavý","settings.general.appearance.theme.description":"Použije sa svetlá alebo tmavá téma alebo sa téma prispôsobí systému","settings.general.appearance.theme.light":"Svetlý","settings.general.appearance.theme.system":"Systémový","settings.general.appearance.usePointerCursors.description":"Zmení kurzor na ukazovateľ pri podržaní kurzora myši nad interaktívnymi prvkami","settings.general.appearance.usePointerCursors.label":"Používať ukazovatele kurzorov","settings.general.enterBehavior.description":"Ak je povolené, viacriadkové príkazy vyžadujú na odoslanie {modifierSymbol} + Enter.","settings.general.enterBehavior.label":"Vyžaduje {modifierSymbol} + Enter na odoslanie dlhých príkazov","settings.general.experimentalFeatures":"Experimentálne funkcie (beta)","settings.general.experimentalFeatures.empty":"Nie sú k dispozícii žiadne experimentálne funkcie beta.","settings.general.experimentalFeatures.loading":"Načítajú sa experimentálne funkcie…","settings.general.experimentalFeatures.restartNote":"Ak chceš použiť zmeny experimentálnych funkcií, reštartuj Codex","settings.general.experimentalFeatures.toggle":"Prepnúť na {featureName}","settings.general.followUpQueueMode.description":"Daj do fronty ďalšie kroky, kým je spustený agent Codex, alebo riaď aktuálne spustenie. Stlačením tlačidla {invertFollowUpShortcutLabel} vykonáš opak pre jednu správu.","settings.general.followUpQueueMode.interrupt":"Riadiť","settings.general.followUpQueueMode.label":"Správanie sledovania","settings.general.followUpQueueMode.queue":"Front","settings.general.notifications":"Oznámenia","settings.general.power.preventSleepWhileRunning.description":"Udržuj počítač v aktívnom stave, kým agent Codex spúšťa vlákno.","settings.general.power.preventSleepWhileRunning.label":"Zamedz prechodu do režimu spánku počas spúšťania","settings.git.branchPrefix.ariaLabel":"Predpona vetvy","settings.git.branchPrefix.description":"Predpona používaná pri vytváraní nových vetiev v agentovi Codex","settings.git.branchPrefix.label":"Predpona vetvy","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Uloženie predpony vetvy zlyhalo","settings.git.branchPrefix.save.success":"Predpona vetvy sa uložila","settings.git.commitInstructions.ariaLabel":"Pokyny potvrdenia","settings.git.commitInstructions.description":"Pridané do príkazov generovania správy o potvrdení","settings.git.commitInstructions.label":"Pokyny potvrdenia","settings.git.commitInstructions.placeholder":"Pridaj pokyny k správe o potvrdení…","settings.git.commitInstructions.save":"Uložiť","settings.git.commitInstructions.save.error":"Uloženie pokynov k správe o potvrdení zlyhalo","settings.git.commitInstructions.save.success":"Pokyny potvrdenia sa uložili","settings.git.forcePush.ariaLabel":"Vždy vynútiť odoslanie","settings.git.forcePush.description":"Použi --force-with-lease pri odosielaní z agenta Codex","settings.git.forcePush.label":"Vždy vynútiť odoslanie","settings.git.forcePush.save.disabled":"Možnosť Vždy vynútiť odoslanie je zakázaná","settings.git.forcePush.save.enabled":"Možnosť Vždy vynútiť odoslanie je povolená","settings.git.forcePush.save.error":"Uloženie nastavenia vynútenia odoslanie zlyhalo","settings.git.prInstructions.ariaLabel":"Pokyny žiadosti o stiahnutie","settings.git.prInstructions.description":"Pridalo sa k telám žiadostí o stiahnutie vytvoreným agentom Codex","settings.git.prInstructions.label":"Pokyny žiadosti o stiahnutie","settings.git.prInstructions.placeholder":"Pridať pokyny žiadosti o stiahnutie…","settings.git.prInstructions.save":"Uložiť","settings.git.prInstructions.save.error":"Uloženie pokynov žiadosti o stiahnutie zlyhalo","settings.git.prInstructions.save.success":"Pokyny žiadosti o stiahnutie sa uložili","settings.ide.defaultOpenTarget.description":"Miesto, kde sa súbory a priečinky otvárajú predvolene","settings.ide.defaultOpenTarget.label":"Predvolené miesto otvárania","settings.ide.defaultOpenTarget.placeholder":"Nenašli sa žiadne ciele","settings.ide.language.auto":"Automaticky zistiť","settings.ide.language.autoOption":"Automaticky zistiť","settings.ide.language.description":"Jazyk používateľského rozhrania aplikácie","settings.ide.language.label":"Jazyk","settings.ide.language.search":"Hľadať jazyky","settings.layout.actionButton":"Reštartovať rozšírenie","settings.layout.actionTitle":"Nastavenia s akciou","settings.layout.fullWidthTitle":"Nastavenia (celá šírka)","settings.layout.title":"Nastavenia","settings.localEnvironments.actions.add":"Pridať akciu","settings.localEnvironments.actions.add.description":"Vytvor nový príkaz na spustenie z panela s nástrojmi.","settings.localEnvironments.actions.add.save":"Uložiť","settings.localEnvironments.actions.empty":"Pridá sa akcia na spustenie príkazov z lokálneho panela nástrojov.","settings.localEnvironments.actions.icon.debug":"Ladiť","settings.localEnvironments.actions.icon.run":"Spustiť","settings.localEnvironments.actions.icon.test":"Otestovať","settings.localEnvironments.actions.icon.tool":"Nástroj","settings.localEnvironments.actions.item.button.delete":"Odstrániť","settings.localEnvironments.actions.item.command":"Skript akcie","settings.localEnvironments.actions.item.name":"Meno","settings.localEnvironments.actions.item.platforms":"Platformy","settings.localEnvironments.actions.item.platforms.help":"Spúšťa sa len v konkrétnom operačnom systéme.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Výber platformy","settings.localEnvironments.actions.item.platforms.specific":"Špecifické pre platformu","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Odstrániť","settings.localEnvironments.actions.title":"Akcie","settings.localEnvironments.breadcrumb.back":"Späť","settings.localEnvironments.breadcrumb.edit":"upraviť","settings.localEnvironments.breadcrumb.root":"Prostredia","settings.localEnvironments.environment.actions.description":"Tieto akcie môžu spustiť ľubovoľný príkaz a budú zobrazené v hlavičke.","settings.localEnvironments.environment.actionsLabel":"Akcie","settings.localEnvironments.environment.create":"Vytvoriť lokálne prostredie","settings.localEnvironments.environment.defaultName":"lokálne","settings.localEnvironments.environment.edit":"Upraviť lokálne prostredie","settings.localEnvironments.environment.empty":"Pre tento projekt ešte nie je nakonfigurované žiadne lokálne prostredie.","settings.localEnvironments.environment.name":"Meno","settings.localEnvironments.environment.setup":"Inštalačný skript","settings.localEnvironments.environment.setup.description":"Tento skript sa spustí pri vytváraní pracovného stromu.","settings.localEnvironments.environment.setup.hint":"Spúšťa sa v koreni projektu.","settings.localEnvironments.environment.setup.platformOverrides":"Prepísania platformy","settings.localEnvironments.environment.setup.platformOverrides.add":"Pridať inštalačný skript {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Prepíše predvolený skript pre konkrétne operačné systémy.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Odstrániť","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Podrobnosti prostredia","settings.localEnvironments.file.missing":"Uložením vytvoríš tento súbor prvýkrát.","settings.localEnvironments.file.parseError":"Existujúci súbor sa nedá analyzovať. Uložením sa prepíše. ({error})","settings.localEnvironments.file.path":"Súbor: {path}","settings.localEnvironments.file.readError":"Načítanie údajov o lokálnom prostredí zlyhalo. ({error})","settings.localEnvironments.file.title":"Súbor lokálneho prostredia","settings.localEnvironments.loading.body":"Získava sa konfigurácia projektu.","settings.localEnvironments.loading.title":"Načítavajú sa lokálne prostredia","settings.localEnvironments.preview.devOnly":"(len pre VÝVOJ)","settings.localEnvironments.preview.save":"Uložiť","settings.localEnvironments.preview.saveError":"Nepodarilo sa uložiť súbor. ({error})","settings.localEnvironments.preview.title":"Ukážka","settings.localEnvironments.save.disabled.name":"Pridaj názov prostredia na uloženie.","settings.localEnvironments.save.disabled.noChanges":"K dispozícii nie sú žiadne zmeny na uloženie.","settings.localEnvironments.save.disabled.saving":"Ukladá sa…","settings.localEnvironments.save.success":"Lokálne prostredie sa uložilo","settings.localEnvironments.unavailable.body":"Nepodarilo sa načítať nastavenia lokálneho prostredia pre tento projekt.","settings.localEnvironments.unavailable.title":"Lokálne prostredia nie sú k dispozícii","settings.localEnvironments.workspace.add":"Pridať projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Pridať prostredie","settings.localEnvironments.workspaceSelect.description":"Lokálne prostredia vravia agentovi Codex, ako nastaviť pracovné stromy pre projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Zatiaľ nie sú k dispozícii žiadne projekty. Pridaj jeden na konfiguráciu lokálnych prostredí.","settings.localEnvironments.workspaceSelect.errorLabel":"Prostredie si vyžaduje pozornosť","settings.localEnvironments.workspaceSelect.learnMore":"Ďalšie informácie","settings.localEnvironments.workspaceSelect.listLabel":"Dostupné projekty","settings.localEnvironments.workspaceSelect.loading":"Načítavajú sa projekty.","settings.localEnvironments.workspaceSelect.loadingLabel":"Načítava sa prostredie","settings.localEnvironments.workspaceSelect.title":"Vybrať projekt","settings.localEnvironments.workspaceSelect.viewAction":"Zobraziť","settings.mcp.addServer":"Pridať server","settings.mcp.app.configure":"Konfigurovať","settings.mcp.app.connect":"Pripojiť","settings.mcp.apps.refresh":"Obnoviť","settings.mcp.detail.addArgument":"Pridať argument","settings.mcp.detail.addEnvVar":"Pridať premennú prostredia","settings.mcp.detail.addEnvVarPassthrough":"Pridať premennú","settings.mcp.detail.args":"Argumenty","settings.mcp.detail.back":"Späť","settings.mcp.detail.command":"Príkaz na spustenie","settings.mcp.detail.cwd":"Pracovný adresár","settings.mcp.detail.docs":"Otvoriť dokumentáciu MCP","settings.mcp.detail.docs.link":"Dokumenty","settings.mcp.detail.envVarPassthrough":"Prechod premennej prostredia","settings.mcp.detail.envVars":"Premenné prostredia","settings.mcp.detail.http.addEnvHeader":"Pridať premennú","settings.mcp.detail.http.addHeader":"Pridať hlavičku","settings.mcp.detail.http.bearerToken":"Token nositeľa premennej prostredia","settings.mcp.detail.http.envHeaders":"Hlavičky z premenných prostredia","settings.mcp.detail.http.headers":"Hlavičky","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Meno","settings.mcp.detail.save":"Uložiť","settings.mcp.detail.switchTransportNotice":"Ak chceš prepnúť typ servera MCP, najskôr ho odinštaluj.","settings.mcp.detail.titleExisting":"Aktualizovať MCP {name}","settings.mcp.detail.titleNew":"Pripojenie sa k vlastnému MCP","settings.mcp.detail.transport.http":"Streamovateľné HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Odinštalovať","settings.mcp.empty":"Žiadne pripojené vlastné MCP servery","settings.mcp.myServers":"Vlastné servery","settings.mcp.partnerServer.description.figma":"Generuj lepší kód využitím plného kontextu nástroja Figma","settings.mcp.partnerServer.description.github":"Integrácia s API GitHub na automatizáciu pracovných postupov a extrahovanie údajov","settings.mcp.partnerServer.description.linear":"Integrácia so sledovaním problémov a riadením projektov platformy Linear","settings.mcp.partnerServer.description.notion":"Čítanie dokumentov, aktualizovanie stránok a spravovanie úloh","settings.mcp.partnerServer.description.playwright":"Integruj automatizáciu prehliadača na implementáciu dizajnu a testovanie používateľského rozhrania.","settings.mcp.partnerServer.install":"Inštalovať","settings.mcp.partnerServer.installAndAuthenticate":"Inštalovať a overiť","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Spravovať","settings.mcp.partnerServer.vendor":"Autor: {vendor}","settings.mcp.recommendedServers":"Odporúčané servery","settings.mcp.restartApp":"Reštartovať","settings.mcp.restartExtension":"Reštartovať rozšírenie","settings.mcp.server.enable":"Povoliť","settings.mcp.server.login":"Overiť","settings.mcp.server.settings":"Nastavenia","settings.multiselect.createOption":"Vytvoriť {value}","settings.multiselect.removeOption":"Odstrániť","settings.nav.account":"Účet","settings.nav.agent":"Konfigurácia","settings.nav.ariaLabel":"Nastavenia","settings.nav.back":"Späť do aplikácie","settings.nav.data-controls":"Archivované vlákna","settings.nav.environments":"Cloudové prostredia","settings.nav.externalTooltip":"[alpha] Otvorí sa v prehliadači","settings.nav.general-settings":"Všeobecné","settings.nav.git-settings":"Git","settings.nav.local-environments":"Prostredia","settings.nav.mcp-settings":"Servery MCP","settings.nav.notImplemented":"[alpha] Nedostupné vo funkcii Alpha","settings.nav.personalization":"Prispôsobenie","settings.nav.skills-settings":"Zručnosti","settings.nav.usage-analytics":"Používanie a analytika","settings.nav.worktrees":"Pracovné stromy","settings.openSourceLicenses.back":"Späť","settings.openSourceLicenses.loading":"Načítava sa…","settings.openSourceLicenses.missing":"Nenašli sa žiadne oznámenia tretích strán.","settings.openSourceLicenses.notSupported":"Nie je k dispozícii v tomto hostiteľovi.","settings.openSourceLicenses.rowDescription":"Oznámenia tretích strán týkajúce sa zväzkových závislostí","settings.openSourceLicenses.rowLabel":"Licencie s otvoreným zdrojovým kódom","settings.openSourceLicenses.subtitle":"Oznámenia tretích strán týkajúce sa závislostí zahrnutých v tejto aplikácii","settings.openSourceLicenses.title":"Licencie s otvoreným zdrojovým kódom","settings.openSourceLicenses.view":"Zobraziť","settings.personalization.agents.description":"Uprav pokyny, ktoré prispôsobia agenta Codex tvojim potrebám. {learnMore}","settings.personalization.agents.learnMore":"Ďalšie informácie","settings.personalization.agents.loadError":"Nepodarilo sa načítať súbor agents.md","settings.personalization.agents.loading":"Načítava sa súbor agents.md…","settings.personalization.agents.placeholder":"Pridať vlastné pokyny…","settings.personalization.agents.retry":"Skúsiť znova","settings.personalization.agents.save":"Uložiť","settings.personalization.agents.save.error":"Nepodarilo sa uložiť súbor agents.md","settings.personalization.agents.save.success":"Súbor agents.md sa uložil","settings.personalization.agents.title":"Vlastné pokyny","settings.personalization.personality.description":"Vyber predvolený tón pre odpovede agenta Codex","settings.personalization.personality.label":"Osobnosť","settings.sample.contentBody":"Použi toto rozloženie na zostavenie panelov nastavení s konzistentnými rozostupmi.","settings.sample.contentTitle":"Blok vzorky obsahu","settings.section.account":"Účet","settings.section.agent":"Konfigurácia","settings.section.data-controls":"Archivované vlákna","settings.section.environments":"Cloudové prostredia","settings.section.external":"Otvorí sa v prehliadači počas funkcie Alpha","settings.section.general-settings":"Všeobecné","settings.section.git-settings":"Git","settings.section.local-environments":"Prostredia","settings.section.mcp-settings":"Servery MCP","settings.section.mcp-settings.docs":"Dokumenty","settings.section.mcp-settings.subtitle":"Pripoja sa externé nástroje a zdroje údajov.","settings.section.personalization":"Prispôsobenie","settings.section.skills-settings":"Zručnosti","settings.section.unavailable":"Zatiaľ nedostupné vo funkcii Alpha","settings.section.usage-analytics":"Používanie a analytika","settings.section.worktrees":"Pracovné stromy","settings.threadDetail.description":"Vyber, koľko výstupov príkazu sa má zobraziť vo vláknach","settings.threadDetail.label":"Podrobnosti o vlákne","settings.worktrees.conversation.untitled":"Konverzácia bez názvu","settings.worktrees.delete.error":"Odstránenie pracovného stromu zlyhalo","settings.worktrees.empty.body":"Tu sa zobrazia pracovné stromy vytvorené agentom Codex.","settings.worktrees.empty.title":"Zatiaľ žiadne pracovné stromy","settings.worktrees.error.body":"Počas načítania pracovných stromov sa niekde stala chyba.","settings.worktrees.error.retry":"Skúsiť znova","settings.worktrees.error.title":"Nepodarilo sa načítať pracovné stromy","settings.worktrees.loading.body":"Získavajú sa podrobnosti o pracovnom strome.","settings.worktrees.loading.title":"Načítavajú sa pracovné stromy","settings.worktrees.repository.loading":"Načítavajú sa metaúdaje odkladacieho priestoru…","settings.worktrees.repository.unknown":"Neznámy odkladací priestor","settings.worktrees.row.conversations":"Konverzácie","settings.worktrees.row.conversations.empty":"S týmto pracovným stromom nie sú prepojené žiadne konverzácie.","settings.worktrees.row.conversations.loading":"Načítavajú sa konverzácie...","settings.worktrees.row.delete":"Odstrániť","settings.worktrees.row.title":"Pracovný strom","sidebarElectron.addWorkspaceRoot":"Pridať nový projekt","sidebarElectron.archiveThread":"Archivovať vlákno","sidebarElectron.archiveThreadError":"Archivácia vlákna zlyhala","sidebarElectron.collapseFolder":"Zbaliť priečinok","sidebarElectron.createStableWorktree.dialog.cancel":"Zrušiť","sidebarElectron.createStableWorktree.dialog.create":"Vytvoriť","sidebarElectron.debugNavLink":"Ladiť","sidebarElectron.editWorkspaceRootOptionName":"Upraviť názov","sidebarElectron.expandFolder":"Rozbaliť priečinok","sidebarElectron.groupByMenu.recency":"Chronologický zoznam","sidebarElectron.groupByMenu.title":"Organizovať","sidebarElectron.groupByMenu.workspace":"Podľa projektu","sidebarElectron.inboxRouteNavLink":"Automatizácie","sidebarElectron.markThreadUnread":"Označiť ako neprečítané","sidebarElectron.missingWorkspaceRoot":"Tento priečinok projektu sa odstránil alebo presunul","sidebarElectron.newThread":"Nové vlákno","sidebarElectron.newThreadInGroup":"Začať nové vlákno v priečinku {folder}","sidebarElectron.noRecentThreads":"Žiadne nedávne vlákna","sidebarElectron.noTasks":"Žiadne vlákna","sidebarElectron.noTasks.start":"Pridať nový projekt","sidebarElectron.noTasksWithFilter":"Filtrom nezodpovedajú žiadne vlákna","sidebarElectron.pinnedThreads":"Pripnuté vlákna","sidebarElectron.recentNavLink":"Vlákna","sidebarElectron.recentThreads":"Nedávne vlákna","sidebarElectron.removeWorkspaceRootOption":"Odstrániť","sidebarElectron.renameThread":"Premenovať vlákno","sidebarElectron.renameThreadDialogAriaLabel":"Názov vlákna","sidebarElectron.renameThreadDialogCancel":"Zrušiť","sidebarElectron.renameThreadDialogPlaceholder":"Pridaj názov…","sidebarElectron.renameThreadDialogSave":"Uložiť","sidebarElectron.renameThreadDialogSubtitle":"Nech je krátky a rozpoznateľný.","sidebarElectron.renameThreadDialogTitle":"Premenovať vlákno","sidebarElectron.renameThreadError":"Premenovanie vlákna zlyhalo","sidebarElectron.renameWorkspaceRootOptionLabel":"Zobrazovaný názov","sidebarElectron.showLess":"Zobraziť menej","sidebarElectron.showMenu.all":"Všetky vlákna","sidebarElectron.showMenu.relevant":"Relevantné","sidebarElectron.showMenu.relevantHint":"Zobraziť iba najnovšie vlákna pre aktuálnu vetvu, pracovné stromy alebo iné vlákna vyžadujúce tvoju pozornosť","sidebarElectron.showMenu.title":"Zobraziť","sidebarElectron.showMenu.tooltip":"Filtrovať, zoradiť a usporiadať vlákna","sidebarElectron.showMenu.trigger":"Filtrovať vlákna bočného panela","sidebarElectron.showMore":"Zobraziť viac","sidebarElectron.skillsRouteNavLink":"Zručnosti","sidebarElectron.sortMenu.created":"Vytvorené","sidebarElectron.sortMenu.title":"Usporiadať podľa","sidebarElectron.sortMenu.updated":"Aktualizované","sidebarElectron.taskNavigation":"Priečinky automatizácie","sidebarElectron.tasksInFolder":"Automatizácie v priečinku {folder}","sidebarElectron.workspaceOptions":"Akcie projektu pre {folder}","sidebarElectron.worktreeGroupTooltip":"Toto je pracovný strom git","skills.appsPage.createSkill":"Nová zručnosť","skills.appsPage.empty.skills":"Nenašli sa žiadne zručnosti","skills.appsPage.search.skills":"Hľadať zručnosti","skills.appsPage.search.skills.label":"Hľadať zručnosti","skills.appsPage.section.installedApps":"Nainštalované","skills.appsPage.section.skills":"Zručnosti","skills.appsPage.subheading":"Daj agentovi Codex superschopnosti. <link>Ďalšie informácie</link>","skills.appsPage.tab.recommended":"Odporúčané","skills.appsPage.tab.skills":"Zručnosti","skills.card.contentsError":"Nepodarilo sa načítať obsahy zručnosti.","skills.card.disable":"Zakázať","skills.card.disableSuccess":"Zručnosť {skillName} sa zakázala","skills.card.disabledBadge":"Zakázané","skills.card.enable":"Povoliť","skills.card.enableSuccess":"Zručnosť {skillName} sa povolila","skills.card.loadingContents":"Načítavajú sa obsahy zručnosti...","skills.card.more":"Ďalšie akcie","skills.card.open":"Otvoriť","skills.card.removeFailed":"Odinštalovanie zručnosti zlyhalo","skills.card.removeSuccess":"Zručnosť {skillName} sa odinštalovala","skills.card.toggleEnabledError":"Aktualizácia zručnosti zlyhala","skills.card.try":"Vyskúšaj to","skills.card.trySkill":"Vyskúšať zručnosť","skills.card.uninstall":"Odinštalovať","skills.hero.dotLabel":"Prejsť na snímku {index}","skills.hero.next":"Ďalšia odporúčaná zručnosť","skills.hero.trySkill":"Vyskúšať zručnosť","skills.page.createSkill":"Nová zručnosť","skills.page.empty":"Nenašli sa žiadne zručnosti","skills.page.filteredEmpty":"Filtrom nevyhovujú žiadne zručnosti","skills.page.filteredEmptyDescription":"Skús upraviť filtre vyhľadávania alebo rozsahu","skills.page.heading":"Zručnosti","skills.page.loading":"Načítavajú sa zručnosti...","skills.page.refreshSkills":"Obnoviť","skills.page.refreshSkillsToUseNew":"Obnoviť pre použitie nových zručností","skills.page.search":"Hľadať zručnosti","skills.page.search.label":"Hľadať zručnosti","skills.page.subheading":"Daj agentovi Codex superschopnosti. <link>Ďalšie informácie</link>","skills.preview.copyPrompt":"Kopírovať príkaz","skills.preview.examplePrompt":"Vzorový príkaz","skills.recommended.error":"Nepodarilo sa načítať odporúčané zručnosti","skills.recommended.install":"Inštalovať","skills.recommended.installSkill":"Inštalovať zručnosť","skills.recommended.installSuccess":"Zručnosť {skillName} sa nainštalovala","skills.recommended.installed":"Nainštalované","skills.scope.admin":"Správca","skills.scope.adminInstalled":"Nainštalované správcom","skills.scope.builtIn":"Systémový","skills.scope.personal":"Personal","skills.scope.repo":"Odkladací priestor","skills.scope.system":"Systémový","skills.scope.team":"Team","skills.scope.user":"Používateľ","skills.section.installed":"Nainštalované","skills.section.recommended":"Odporúčané","story.slidingToggle.existing":"Existujúce","story.slidingToggle.fromLocal":"Z lokálneho","story.slidingToggle.new":"Nové","story.slidingToggle.toLocal":"Do lokálneho","terminal.close":"Zatvoriť terminál","terminal.title":"Terminál","thinkingShimmer.default":"Rozmýšľam","threadEnvIcon.cloudTooltip":"Táto konverzácia prebieha v Codex Cloud.","threadEnvIcon.localTooltip":"Táto konverzácia prebieha lokálne.","threadEnvIcon.worktreeTooltip":"Táto konverzácia prebieha v lokálnom pracovnom strome git.","threadHeader.archiveConfirmCancel":"Zrušiť","threadHeader.archiveConfirmConfirm":"Archivovať","threadHeader.archiveConfirmSubtitle":"Nájdeš ho neskôr vo svojich archivovaných vláknach.","threadHeader.archiveConfirmTitle":"Archivovať vlákno?","threadHeader.copyAppLink":"Skopírovať deeplink","threadHeader.copySessionId":"Skopírovať ID relácie","threadHeader.copyWorkingDirectory":"Skopírovať pracovný adresár","threadHeader.forkIntoLocal":"Rozvetviť lokálne","threadHeader.forkIntoWorktree":"Rozvetviť v novom pracovnom strome","threadHeader.forkPendingWorktreePrompt":"Rozvetviť túto konverzáciu v novom pracovnom strome","threadHeader.forkPendingWorktreeTitle":"Rozvetvená konverzácia","threadHeader.forkThreadError":"Rozvetvenie vlákna zlyhalo","threadHeader.forkThreadRequiresGitRepo":"Rozvetvenie v novom pracovnom strome vyžaduje odkladací priestor git","threadHeader.moreActions":"Akcie vlákna","threadPage.newThread":"Nové vlákno","threadPage.runAction.changeEnvironment":"Zmeniť prostredie","threadPage.runAction.dropdown.titleWithEnvironment":"Akcie: {environmentName}","threadPage.runAction.environmentSelector.label":"Vybrať prostredie","threadPage.runAction.label":"Spustiť","threadPage.runAction.missing.label":"Nastavenie akcie spustenia","threadPage.runAction.setup.commandLabel":"Príkaz na spustenie","threadPage.runAction.setup.description":"Povedz agentovi Codex, ako nainštalovať závislosti a spustiť aplikáciu.","threadPage.runAction.setup.editMore":"Nastavenia prostredia","threadPage.runAction.setup.placeholder":"Príklad: inštalovať npm spustiť npm","threadPage.runAction.setup.submit":"Uložiť a spustiť","threadPage.runAction.setup.title":"Spustiť","threadPage.runAction.tooltip.withEnvironment":"Akcie: {environmentName}","threadPage.toggleDiffPanel":"Prepnúť panel rozdielov","threadPage.toggleTerminal":"Prepnúť terminál","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Otvoriť priečinok","toolSummaryForCmd.exploredFiles":"<verb>Uvedené</verb> súbory","toolSummaryForCmd.exploredFilesInPath":"<verb>Uvedené</verb> súbory v {path}","toolSummaryForCmd.exploringFiles":"<verb>Uvádzajú sa</verb> súbory","toolSummaryForCmd.exploringFilesInPath":"<verb>Uvádzajú sa</verb> súbory v {path}","toolSummaryForCmd.ranGenericCommand":"<status>Spustený príkaz</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Spustilo sa </status> {command}{timer}","toolSummaryForCmd.read":"<verb>Prečítať</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Spúšťa sa príkaz</status>{timer}","toolSummaryForCmd.runningTimer":"pre {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Hľadal sa</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Hľadali sa</verb> súbory","toolSummaryForCmd.searchedForInPath":"<verb>Hľadal sa</verb> {query} v {path}","toolSummaryForCmd.searchingFor":"<verb>Hľadá sa</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Hľadajú sa</verb> súbory","toolSummaryForCmd.searchingForInPath":"<verb>Hľadá sa</verb> {query} v {path}","traceRecording.details.noteLabel":"Čo si robil/-a, keď sa to stalo? (voliteľné)","traceRecording.details.notePlaceholder":"Prešiel/-a som do veľkého vlákna a následne opakovane prepínal/-a karty...","traceRecording.details.submit":"Odoslať stopu","traceRecording.details.subtitle":"Môžeme odoslať stopu tohto profilu v rámci pomoci s diagnostikovaním problémov s výkonom.","traceRecording.details.title":"Odoslať stopu profilu?","traceRecording.progress.subtitle":"Ponechaj agenta Codex otvoreného, kým sa to dokončí.","traceRecording.saving.title":"Ukladá sa stopa…","traceRecording.startDetails.cancel":"Zrušiť","traceRecording.startDetails.submit":"OK, spustiť nahrávanie","traceRecording.startDetails.subtitle":"Po kliknutí na tlačidlo OK zopakuj problém s výkonom a následne kliknutím na vznášajúci sa červený indikátor zastav a skontroluj stopu.","traceRecording.startDetails.title":"Ako funguje nahrávanie stopy","traceRecording.stopButton.ariaLabel":"Zastaviť nahrávanie stopy","traceRecording.upload.successToast":"Stopa profilu sa odoslala.","traceRecording.uploading.title":"Nahráva sa stopa…","wham.diff.addComment":"Pridať komentár","wham.diff.binaryFile":"Binárny súbor nie je zobrazený","wham.diff.noContent":"Žiadny obsah","wham.fileTag.deleted":"Odstránené","wham.fileTag.new":"Nové","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} hod","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mes.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} t.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} r.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Pracujem na tvojej úlohe","wham.whamProposedTask.title":"Navrhovaná úloha","wham.whamProposedTask.useSuggestion":"Použiť návrh","workspaceRootDialog.addError":"Pridanie projektu zlyhalo","workspaceRootDialog.cancel":"Zrušiť","workspaceRootDialog.confirmAdd":"Pridať projekt","workspaceRootDialog.confirmPick":"Použiť projekt","workspaceRootDialog.description":"Zadaj cestu v {host} pre použitie ako projekt.","workspaceRootDialog.pathLabel":"Cesta projektu","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Pridaj cestu projektu","workspaceRootDialog.title.pick":"Vyber cestu projektu","worktreeInitV2.cancel":"Zrušiť","worktreeInitV2.notification.failedTitle":"Nastavenie pracovného stromu zlyhalo","worktreeInitV2.output.empty":"Čaká sa na výstup...","worktreeInitV2.status.error":"Nastavenie pracovného stromu zlyhalo.","worktreeInitV2.status.running":"Vytvára sa pracovný strom a spúšťa nastavenie.","worktreeInitV2.status.runningFork":"Vytvára sa pracovný strom na rozvetvenie tejto konverzácie.","worktreeInitV2.status.success":"Pracovný strom je pripravený.","worktreeInitV2.title":"Vytvára sa pracovný strom","worktreeInitV2.workLocallyInstead":"Pracovať namiesto toho lokálne","worktreeRestoreBanner.body":"Pracovný strom tohto vlákna sa odstránil z dôvodu úspory miesta na disku","worktreeRestoreBanner.missing.body":"Pracovný adresár tohto vlákna už neexistuje","worktreeRestoreBanner.missing.title":"Chýba aktuálny pracovný adresár","worktreeRestoreBanner.restore.error":"Obnovenie pracovného stromu zlyhalo: {message}","worktreeRestoreBanner.restore.success":"Pracovný strom sa obnovil","worktreeRestoreBanner.restoreCta":"Obnoviť pracovný strom","worktreeRestoreBanner.title":"Pracovný strom sa vyčistil"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopírovať","app.sidebar.hide":"Skryť bočný panel","app.sidebar.show":"Zobraziť bočný panel","app.sidebar.tooltip":"Prepnúť bočný panel","appHeader.installUpdate":"Aktualizovať","appSunset.body":"Táto verzia aplikácie už nie je podporovaná. <here>Tu</here> si stiahni najnovšiu verziu.","appSunset.title":"Vyžaduje sa aktualizácia","automation.updateDirective.create":"Vytvoriť","automation.updateDirective.open":"Otvoriť","automation.updateDirective.untitled":"Automatizácia bez názvu","automation.updateDirective.update":"Aktualizovať","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# pokus} few {# pokusy} many {# pokusu} other {# pokusov}}","cloudTaskRow.archiveError":"Archivácia úlohy zlyhala","code.diff.requestChange":"Vyžiadať zmenu","code.diffComment.cancel":"Zrušiť","code.diffComment.comment":"Komentár","code.diffComment.delete":"Odstrániť","code.diffComment.save":"Uložiť","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Neboli nahlásené žiadne nájdenia.","codex.alert.closeAriaLabel":"Zatvoriť","codex.appUpsellBanner.cbpApi.message":"Tvor rýchlejšie s aplikáciou Codex. Stiahni si ju hneď teraz alebo {learnMoreLink}.","codex.appUpsellBanner.download":"Stiahnuť","codex.appUpsellBanner.freeGo.message":"Codex je zahrnutý v tvojej tarife do 2. marca. Vyskúšaj aplikáciu Codex a vytváraj rýchlejšie.","codex.appUpsellBanner.later":"Neskôr","codex.appUpsellBanner.learnMoreLowercase":"ďalšie informácie","codex.appUpsellBanner.new":"Nové","codex.appUpsellBanner.proPlusBusiness.message":"Vyskúšaj aplikáciu Codex s dvojnásobnými limitmi tarify až do 2. apríla. Stiahni si ju hneď teraz alebo {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikácia Codex","codex.applyDropdown.header.changes":"Zmeny","codex.applyDropdown.header.fileCount":"{count, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}}","codex.applyDropdown.header.rows":"riadky","codex.applyDropdown.header.title":"Použiť zmeny","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 súbor je v konflikte:} few {{count} súbory sú v konflikte:} many {{count} súboru je v konflikte:} other {{count} súborov je v konflikte:}}","codex.applyDropdown.results.empty":"Neskopírovali sa žiadne súbory","codex.applyDropdown.results.skipped":"{count, plural, one {Preskočil sa 1 súbor:} few {Preskočili sa {count} súbory:} many {Preskočilo sa {count} súboru:} other {Preskočilo sa {count} súborov:}}","codex.applyOrRevertBanner.apply":"Použiť","codex.applyOrRevertBanner.applyMessage":"Použiť zmeny a pokračovať lokálne?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Táto úloha sa vytvorila v prostredí {environment}, takže sa môže použiť s problémami.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Zmeny sú vykonané v prostredí {environment}, preto  sa môžu použiť s problémami.","codex.applyOrRevertBanner.reapply":"Použiť znova","codex.applyOrRevertBanner.revert":"Vrátiť","codex.applyOrRevertBanner.revertMessage":"Vrátiť použité zmeny?","codex.applyResultsDialog.applied":"Použité bez problémov ({count})","codex.applyResultsDialog.close":"Zatvoriť","codex.applyResultsDialog.conflicted":"Konfliktné ({count})","codex.applyResultsDialog.noDetails":"Nie sú k dispozícii žiadne podrobnosti o súbore.","codex.applyResultsDialog.skipped":"Preskočené ({count})","codex.applyResultsDialog.title":"Použitie výsledkov","codex.archiveInfo":"Zobraz archivované čety v {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrola údajov","codex.archiveInfo.electron":"Zobraz archivované čety v {settingsLink}","codex.archiveInfo.extension":"Zobraz archivované čety v priečinku .codex.","codex.archiveInfo.settingsLink":"Nastavenia","codex.banner.content.description":"Spúšťaj úlohy paralelne, sleduj priebeh kdekoľvek a kontroluj PR pomocou AI.","codex.banner.content.headline":"Agent Codex to všetko dokáže.","codex.cloudTaskRow.archiveTask":"Archivuje sa úloha","codex.cloudTaskRow.confirmArchiveTask":"Potvrdiť","codex.command.feedback":"Pripomienky","codex.command.findInThread":"Hľadať","codex.command.forceReloadSkills":"Vynútiť opätovné načítanie zručností","codex.command.logOut":"Odhlásiť sa","codex.command.manageTasks":"Spravovať úlohy","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Späť","codex.command.navigateForward":"Dopredu","codex.command.newThread":"Nové vlákno","codex.command.nextThread":"Ďalšie vlákno","codex.command.openFolder":"Otvoriť priečinok","codex.command.openSkills":"Prejsť na zručnosti","codex.command.openThreadOverlay":"Otvoriť vlákno samostatne","codex.command.personalitySettings":"Osobnosť","codex.command.previousThread":"Predchádzajúce vlákno","codex.command.settings":"Nastavenia","codex.command.toggleDiffPanel":"Prepnúť panel rozdielov","codex.command.toggleSidebar":"Prepnúť bočný panel","codex.command.toggleTerminal":"Prepnúť terminál","codex.commandGroup.app":"Aplikácia","codex.commandGroup.configure":"Konfigurovať","codex.commandGroup.navigation":"Navigácia","codex.commandGroup.panels":"Panely","codex.commandGroup.skills":"Zručnosti","codex.commandGroup.thread":"Vlákno","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Žiadne zhody","codex.commandMenu.searchPlaceholder":"Hľadať príkazy","codex.commandMenu.suggestedGroup":"Navrhované","codex.commandMenu.switchWorkspace":"Prepnúť projekt","codex.commandMenu.title":"Ponuka príkazov","codex.common.retry":"Skúsiť znova","codex.composer.searchBranches":"Hľadať vetvy","codex.dialog.basic.body":"Toto je jednoduché modálne dialógové okno používajúce náš obal okolo dialógového okna Radix.","codex.dialog.basic.cancel":"Zrušiť","codex.dialog.basic.confirm":"Potvrdiť","codex.dialog.basic.open":"Otvoriť dialógové okno","codex.dialog.basic.title":"Vzorka dialógového okna","codex.dialog.long.close":"Zatvoriť","codex.dialog.long.line":"Posúvateľný riadok {index} na zobrazenie dlhého obsahu v dialógovom okne.","codex.dialog.long.open":"Otvoriť dlhé dialógové okno","codex.dialog.long.title":"Dialógové okno s dlhým obsahom","codex.dialog.unstyled.body":"Tento príbeh ukazuje, ako volajúci môžu plne ovládať štýl obsahu dialógového okna.","codex.dialog.unstyled.open":"Otvoriť dialógové okno bez štýlu","codex.dialog.unstyled.title":"Obsah bez štýlu","codex.diff.openInEditorPrompt.openButton":"Otvoriť v editore","codex.diff.openInEditorPrompt.singleLine":"Súbor je príliš veľký na zobrazenie tu.","codex.diffView.failedToDecodeBase64Diff":"Rozlúštenie porovnania base64 zlyhalo","codex.diffView.filesChanged":"{fileCount, plural, one {# zmenený súbor} few {# zmenené súbory} many {# zmeneného súboru} other {# zmenených súborov}}","codex.diffView.imagePreviewAlt":"Ukážka obrázka","codex.diffView.imagePreviewEmpty":"Žiadny obrázok","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Žiadne údaje porovnania","codex.diffView.pdfPreview.nextPage":"Ďalšia strana","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Predchádzajúca strana","codex.diffView.pdfPreviewEmpty":"Žiadna ukážka vo formáte PDF","codex.diffView.pdfPreviewError":"Nepodarilo sa vykresliť ukážku vo formáte PDF","codex.diffView.richPreviewDisable":"Zakázať rozšírenú ukážku","codex.diffView.richPreviewEnable":"Povoliť rozšírenú ukážku","codex.diffView.richPreviewLoading":"Načítava sa ukážka…","codex.diffView.richPreviewToggle":"Prepnúť rozšírenú ukážku","codex.diffView.switchToUnified":"Prepnúť na zjednotené porovnanie","codex.environmentSelector.noEnvironment":"Žiadne prostredie","codex.environments.environmentSettings":"Nastavenia prostredia","codex.environments.learnMore":"Ďalšie informácie","codex.environments.listError":"Načítanie prostredí zlyhalo.","codex.environments.noEnvironmentsFound":"Nenašli sa žiadne prostredia","codex.environments.searchError":"Hľadanie prostredí zlyhalo.","codex.errorBoundary.genericError":"Ľutujeme, ale vyskytla sa chyba","codex.errorBoundary.goHome":"Skúsiť znova","codex.file.patch.missing":"Pre tento súbor sa nepodarilo vytvoriť opravu.","codex.gallery.automations.cwdLabel":"Projekty","codex.gallery.automations.nameLabel":"Meno","codex.gallery.automations.namePlaceholder":"Zhrnutie aplikácie","codex.gallery.automations.promptLabel":"Príkaz","codex.gallery.automations.promptPlaceholder":"Opíš, čo by mal robiť agent Codex","codex.gallery.dialogs.automation.label":"Dialógové okno automatizácie","codex.gallery.dialogs.basic.body":"Použi toto rozloženie pre jednoduché potvrdenia alebo krátke formuláre.","codex.gallery.dialogs.basic.cancel":"Zrušiť","codex.gallery.dialogs.basic.confirm":"Potvrdiť","codex.gallery.dialogs.basic.label":"Základné dialógové okno","codex.gallery.dialogs.basic.title":"Vzorka dialógového okna","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Popíš problém","codex.gallery.dialogs.feedbackSubmission.bad":"Zlý výsledok","codex.gallery.dialogs.feedbackSubmission.bug":"Chyba","codex.gallery.dialogs.feedbackSubmission.good":"Dobrý výsledok","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Zahrnú sa denníky aktuálnej relácie agenta Codex","codex.gallery.dialogs.feedbackSubmission.label":"Odoslanie pripomienok","codex.gallery.dialogs.feedbackSubmission.other":"Iné","codex.gallery.dialogs.feedbackSubmission.placeholder":"Tu popíš problém","codex.gallery.dialogs.feedbackSubmission.submit":"Odoslať","codex.gallery.dialogs.feedbackSubmission.title":"Pripomienky","codex.gallery.dialogs.feedbackSuccess.body":"Pripomienky sa nahrali. Ak problém pretrváva, otvor problém GitHub alebo spomeň ID vlákna v existujúcom otvorenom probléme:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Skryť","codex.gallery.dialogs.feedbackSuccess.label":"Pripomienky boli úspešné","codex.gallery.dialogs.feedbackSuccess.title":"Pripomienky sa nahrali","codex.gallery.dialogs.gitApplyResults.applied":"Použité bez problémov (2)","codex.gallery.dialogs.gitApplyResults.close":"Zatvoriť","codex.gallery.dialogs.gitApplyResults.conflicted":"Konfliktné (1)","codex.gallery.dialogs.gitApplyResults.label":"Použitie výsledkov","codex.gallery.dialogs.gitApplyResults.title":"Použitie výsledkov","codex.gallery.dialogs.gitPushError.body":"Stiahni najnovšie zmeny alebo vynúť ich odoslanie, ak vieš, že je bezpečné prepísať vzdialenú históriu.","codex.gallery.dialogs.gitPushError.cancel":"Zrušiť","codex.gallery.dialogs.gitPushError.force":"Vynútené odoslanie","codex.gallery.dialogs.gitPushError.label":"Chyba odoslania","codex.gallery.dialogs.gitPushError.subtitle":"Vetva sa nachádza za vetvou pôvodnou alebo hlavnou.","codex.gallery.dialogs.gitPushError.title":"Odoslanie zmien zlyhalo","codex.gallery.dialogs.gitRevert.cancel":"Zrušiť","codex.gallery.dialogs.gitRevert.confirm":"Vrátiť","codex.gallery.dialogs.gitRevert.label":"Vrátiť zmeny","codex.gallery.dialogs.gitRevert.skip":"Nabudúce sa nepýtať","codex.gallery.dialogs.gitRevert.subtitle":"Táto akcia odstráni všetky tieto zmeny.","codex.gallery.dialogs.gitRevert.title":"Vrátiť zmeny?","codex.gallery.dialogs.longForm.label":"Dialógové okno dlhého formulára","codex.gallery.dialogs.proseModal.body":"Tento modálny štýl sa používa pre dlhšie pokyny, zaradenie alebo bloky s množstvom obsahu.","codex.gallery.dialogs.proseModal.close":"Zatvoriť","codex.gallery.dialogs.proseModal.subtitle":"Tu zdieľaj dlhšie pokyny alebo dokumentáciu k formuláru.","codex.gallery.dialogs.proseModal.title":"Modálna próza","codex.gallery.dialogs.submitBlocked.label":"Odoslanie sa zablokovalo","codex.gallery.dialogs.submitBlocked.message":"Nepodarilo sa odoslať správu, pretože projekt nie je k dispozícii.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Nepodarilo sa poslať správu","codex.gallery.dialogs.title":"Dialógy","codex.gallery.dropdown.filterPlaceholder":"Filtrovať položky","codex.gallery.dropdowns.actionRow":"Riadky akcie","codex.gallery.dropdowns.actionRow.disabled":"Zakázaná akcia","codex.gallery.dropdowns.actionRow.primary":"Primárna akcia","codex.gallery.dropdowns.actionRow.secondary":"Sekundárna akcia","codex.gallery.dropdowns.actionRow.trigger":"Zobraziť akcie","codex.gallery.dropdowns.basic":"Základný rozbaľovací zoznam","codex.gallery.dropdowns.basic.newFile":"Nový súbor","codex.gallery.dropdowns.basic.newFolder":"Nový priečinok","codex.gallery.dropdowns.basic.openSettings":"Otvoriť nastavenia","codex.gallery.dropdowns.basic.title":"Rýchle akcie","codex.gallery.dropdowns.basic.trigger":"Otvoriť ponuku","codex.gallery.dropdowns.basic.upload":"Nahrať","codex.gallery.dropdowns.panel":"Panel plochy","codex.gallery.dropdowns.panel.apply":"Použiť","codex.gallery.dropdowns.panel.body":"Skontroluj porovnania a použi ich vo svojom projekte.","codex.gallery.dropdowns.panel.preview":"Ukážka","codex.gallery.dropdowns.panel.title":"Použiť zmeny","codex.gallery.dropdowns.panel.trigger":"Otvoriť panel","codex.gallery.dropdowns.search":"Rozbaľovací zoznam s možnosťou hľadania","codex.gallery.dropdowns.search.first":"Kanál alpha","codex.gallery.dropdowns.search.second":"Vetva beta","codex.gallery.dropdowns.search.third":"Kandidát na vydanie","codex.gallery.dropdowns.search.trigger":"Filtrovať položky","codex.gallery.dropdowns.submenu":"Rozbaľovací zoznam s podponukou","codex.gallery.dropdowns.submenu.optionA":"Projekt alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Priradiť vlastníka","codex.gallery.dropdowns.submenu.secondary":"Presunúť do","codex.gallery.dropdowns.submenu.tertiary":"Archivovať","codex.gallery.dropdowns.submenu.trigger":"Vybrať akciu","codex.gallery.dropdowns.title":"Rozbaľovacie zoznamy","codex.gallery.inbox.automations.close":"Zatvoriť","codex.gallery.inbox.automations.popover.cardTitle":"Spravovať automatizácie","codex.gallery.inbox.automations.popover.dialogTitle":"Spravovať automatizácie","codex.header.settingsTooltip":"Nastavenia","codex.hunk.patch.error":"Vytvorenie fázy zlyhalo","codex.hunk.patch.missing":"Pre tento veľký blok sa nepodarilo vytvoriť opravu.","codex.hunk.patch.partialSuccess":"Čiastočne úspešné","codex.hunk.patch.revertError":"Zrušenie fázy zlyhalo","codex.hunk.patch.revertSuccess":"Úspešne sa zrušila fáza","codex.hunk.patch.success":"Úspešne sa vytvorila fáza","codex.legal.autonomy.details":"Ďalšie informácie nájdete v časti {link}","codex.legal.autonomy.details.link":"Dokumenty Codex","codex.legal.autonomy.title":"Rozhodni sa, koľko samostatnosti chceš udeliť","codex.legal.backButton":"Späť","codex.legal.cloud.taskOne.meta":"openai/agi · 12. október","codex.legal.cloud.taskOne.title":"Vysvetli odkladací priestor novému návrhárovi","codex.legal.cloud.taskThree.meta":"openai/codex · 8. október","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Vytvorenie motívu tmavého režimu","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. október","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Opravenie chyby zaradenia","codex.legal.continue.apikey":"Pokračovať","codex.legal.continueButton":"Ďalej","codex.legal.copilot.details":"Používa tvoju tarifu Copilot pre všetky volania, fakturácie a limity tarify modelu. Používanie rozšírenia agenta Codex podlieha {oaiTos} a {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"GitHub – zmluvné podmienky","codex.legal.copilot.oaiTosLink":"OpenAI Codex – zmluvné podmienky","codex.legal.copilot.title":"Podporované asistentom GitHub Copilot","codex.legal.mistakes.review":"Skontroluj ním písaný kód a spúšťané príkazy","codex.legal.mistakes.title":"Agent Codex môže robiť chyby","codex.legal.powered.details":"Používa limity tarify a {link}","codex.legal.powered.details.link":"predvoľby tréningových údajov","codex.legal.powered.title":"Podporované účtom ChatGPT","codex.legal.step.cloud.subtitle":"Odosielaj úlohy agentovi Codex, aby boli spustené na pozadí, a ty si sa mohol/-a sústrediť a rýchlejšie sa posúvať vpred.","codex.legal.step.cloud.title":"Odovzdanie agentovi Codex v cloude","codex.legal.step.intro.subtitle":"Agent Codex naviguje, upravuje, spúšťa príkazy a vykonáva testy priamo v odkladacom priestore. Podporované účtom ChatGPT","codex.legal.step.intro.title":"Agent Codex v IDE","codex.legal.step.todo.subtitle":"Napíš komentár TODO a jedným kliknutím ho skonvertuj na úlohu pre agenta Codex.","codex.legal.step.todo.title":"Premena TODO na úlohy agenta Codex","codex.legal.todo.heading":"// TODO: schéma implementácie","codex.localConversation.closeImagePreview":"Zatvoriť ukážku obrázka","codex.localConversation.userImageAttachment":"Príloha používateľa","codex.localTaskRow.archiveTask":"Archivovať vlákno","codex.localTaskRow.awaitingApproval":"Čaká na schválenie","codex.localTaskRow.awaitingResponse":"Čaká sa na odpoveď","codex.localTaskRow.confirmArchiveTask":"Potvrdiť","codex.loggedOut.apiKeyPrompt.cancel":"Zrušiť","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Získať kľúč API","codex.loggedOut.apiKeyPrompt.inputLabel":"Zadaj svoj kľúč API OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Cloudové úlohy sú zakázané s kľúčom API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Cloudové úlohy sú zakázané s asistentom Copilot a kľúčom API","codex.loggedOut.signIn":"Prihlásiť sa s modulom ChatGPT","codex.loggedOut.signIn.cancel":"Zrušiť prihlásenie","codex.loggedOut.signInWithCopilot":"Prihlásiť sa s asistentom GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Použiť kľúč API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Nástroj {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Vyvolané","codex.mcpTool.collapsedLabel.verb.calling":"Vyvoláva sa","codex.mcpTool.embeddedResource.contentLabel":"Obsah","codex.mcpTool.embeddedResource.mimeTypeLabel":"Typ MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Nástroj nevrátil žiadny obsah.","codex.mcpTool.rawPayloadHeading":"Neupravený {server}.{tool} volania nástroja MCP","codex.menu.recent":"Nedávne","codex.menu.seeAllHistory":"Zobraziť celú históriu","codex.modelCapacityBanner.headline.noReset":"{modelName} je momentálne vyťažený. Skús to znova neskôr alebo spusti novú konverzáciu s iným modelom.","codex.modelCapacityBanner.headline.withReset":"{modelName} je momentálne vyťažený. Skús to znova po {resetDate} alebo spusti novú konverzáciu s iným modelom.","codex.modelCapacityBanner.title":"Vybratý model je vyťažený","codex.patch.change.contentsDeleted":"Obsah sa odstránil","codex.patch.change.created":"Vytvorené","codex.patch.change.created-file":"Vytvorený súbor","codex.patch.change.creating":"Vytvára sa","codex.patch.change.deleted":"Odstránené","codex.patch.change.deleted-file":"Odstránený súbor","codex.patch.change.deleting":"Odstraňuje sa","codex.patch.change.edited":"Upravené","codex.patch.change.edited-file":"Upravený súbor","codex.patch.change.editing":"Upravovanie","codex.patch.change.noChanges":"Žiadne zmeny","codex.patch.change.rejected-add":"Odmietnuté","codex.patch.change.rejected-delete":"Odmietnuté","codex.patch.change.rejected-edit":"Odmietnuté","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Dokončené úlohy: {completed}/{total}","codex.plan.todoListCreated":"Zoznam úloh vytvorený s {total} úlohami","codex.profileDropdown.apiKeyAuth":"Prihlásený s kľúčom API","codex.profileDropdown.codexSettings":"Nastavenia agenta Codex","codex.profileDropdown.copilotAuth":"Prihlásený s asistentom Copilot","codex.profileDropdown.defaultAccountTitle":"Predvolený účet","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter na odoslanie dlhých príkazov","codex.profileDropdown.enterBehaviorError":"Aktualizácia nastavenia zlyhala","codex.profileDropdown.getPlus":"Upgraduj pre vyššie limity","codex.profileDropdown.keyboardShortcuts":"Klávesové skratky","codex.profileDropdown.language":"Jazyk","codex.profileDropdown.languageDefault":"Automaticky zistiť","codex.profileDropdown.languageSearchPlaceholder":"Hľadať jazyky","codex.profileDropdown.languageUpdateError":"Aktualizácia jazyka zlyhala","codex.profileDropdown.logOut":"Odhlásiť sa","codex.profileDropdown.mcp":"Nastavenia MCP","codex.profileDropdown.openConfigToml":"Otvoriť config.toml","codex.profileDropdown.openConfigToml.wsl":"Otvoriť config.toml v prostredí WSL","codex.profileDropdown.openExtensionSettings":"Otvoriť nastavenia","codex.profileDropdown.openMcpSettings":"Otvoriť nastavenia MCP","codex.profileDropdown.openOnStartup":"Otvoriť pri spustení","codex.profileDropdown.openOnStartupError":"Aktualizácia nastavenia zlyhala","codex.profileDropdown.openSkillsSettings":"Otvoriť nastavenia zručností","codex.profileDropdown.personalAccountTitle":"Osobný účet","codex.profileDropdown.queueFollowUps":"Sledovať front","codex.profileDropdown.queueFollowUpsError":"Aktualizácia nastavenia zlyhala","codex.profileDropdown.readDocs":"Prečítať dokumenty","codex.profileDropdown.readSkillsDocs":"Prečítať dokumenty","codex.profileDropdown.runInWsl":"Spustiť v prostredí WSL","codex.profileDropdown.runInWslError":"Aktualizácia nastavenia zlyhala","codex.profileDropdown.runInWslTooltip":"Agent Codex sa spustí v prostredí WSL. Odporúča sa pre vylepšené zabezpečenie testovacieho prostredia a lepší výkon.","codex.profileDropdown.settings":"Nastavenia IDE","codex.profileDropdown.settingsPage":"Nastavenia","codex.profileDropdown.signInWithOpenAI":"Prihlásiť sa s modulom ChatGPT","codex.profileDropdown.skills":"Nastavenia zručností","codex.profileDropdown.switchToCopilotAccount":"Použiť účet Copilot","codex.profileDropdown.switchToOpenAIAccount":"Použiť účet OpenAI","codex.profileDropdown.todoCodelens":"Opraviť komentáre TODO","codex.profileDropdown.todoCodelensError":"Aktualizácia nastavenia zlyhala","codex.profileDropdown.windowsDocumentation":"Dokumentácia systému Windows","codex.profileFooter.signedInFallback":"Nastavenia","codex.profileFooter.upgrade":"Upgradovať","codex.recentTasksMenu.clearSearch":"Vymazať hľadanie","codex.recentTasksMenu.cloud":"Cloudové úlohy","codex.recentTasksMenu.count":"{count, plural, =0 {Neprebiehajú žiadne úlohy} one {Prebieha # úloha} few {Prebiehajú # úlohy} many {Prebieha # úlohy} other {Prebieha # úloh}}","codex.recentTasksMenu.empty":"Zatiaľ žiadne vlákna","codex.recentTasksMenu.errorCloud":"Načítanie úloh zlyhalo.","codex.recentTasksMenu.errorCloud.inline":"Načítanie cloudových úloh zlyhalo.","codex.recentTasksMenu.filterAll":"Všetko","codex.recentTasksMenu.filterCloudTasks":"Filtrovanie cloudových úloh","codex.recentTasksMenu.filterTooltip":"Filtrovanie úloh podľa prostredia","codex.recentTasksMenu.local":"Lokálne úlohy","codex.recentTasksMenu.recent":"Všetky úlohy","codex.recentTasksMenu.search":"Hľadať nedávne úlohy","codex.recentTasksMenu.searchEmpty":"Žiadny výsledok","codex.recentTasksMenu.tooltip":"História úlohy","codex.recentTasksMenu.trigger":"Nedávne úlohy. {count, plural, one {Prebieha #} few {Prebiehajú #} many {Prebieha #} other {Prebieha #}}","codex.remoteConversation.applyDiff.applyCta":"Použiť zmeny","codex.remoteConversation.applyDiff.dropdownTitle":"Použiť zmeny na lokálnu vetvu","codex.remoteConversation.applyDiff.revertCta":"Vrátiť zmeny","codex.remoteConversation.closeImagePreview":"Zatvoriť ukážku obrázka","codex.remoteConversation.codexCloudTask":"Sleduješ cloudovú úlohu <u>agenta Codex</u>","codex.remoteConversation.errorWithMessage":"Chyba: {message}","codex.remoteConversation.loadingImage":"Načítava sa obrázok","codex.remoteConversation.openInWeb":"Otvoriť na webe","codex.remoteConversation.streaming":"Začíname","codex.remoteConversation.turnFailed":"Počas tejto úlohy sa vyskytla chyba","codex.remoteConversation.turnTab.loading":"Pokus {number}","codex.remoteConversation.turnTab.title":"Pokus {number}","codex.remoteConversation.userImageAttachment":"Príloha používateľa","codex.remoteConversation.viewPreviousTurns":"Otvoriť na webe","codex.remoteConversation.viewPreviousTurns.buttonText":"Otvoriť","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Otvoriť na webe","codex.review.copyGitApplyCommand":"Skopírovať príkaz na použitie v git","codex.review.copyGitApplyCommand.toast":"Príkaz na použitie v git sa skopíroval do schránky","codex.review.diffTooLarge.description":"Porovnanie je príliš veľké na zobrazenie v kontrole.","codex.review.diffTooLarge.title":"Porovnanie je príliš veľké na zobrazenie","codex.review.expandOrCollapseDiffButton.collapse":"Zbaliť všetky zmeny","codex.review.expandOrCollapseDiffButton.expand":"Rozbaliť všetky zmeny","codex.review.expandOrCollapseDiffMenu.collapse":"Zbaliť všetky zmeny","codex.review.expandOrCollapseDiffMenu.expand":"Rozbaliť všetky zmeny","codex.review.fileSearch.clear":"Vymazať filter súboru","codex.review.fileSearch.empty":"Aktuálnemu filtru nevyhovujú žiadne súbory.","codex.review.fileSearch.label":"Filtrovať súbory","codex.review.fileSearch.placeholder":"Filtrovanie súborov…","codex.review.filesChanged":"{num, plural, =0 {Žiadne zmenené súbory} one {# zmenený súbor} few {# zmenené súbory} many {# zmeneného súboru} other {# zmenených súborov}}","codex.review.find.loadMore":"Načítať ďalšie zhody","codex.review.fullReview.hideFileTree":"Skryť strom súborov","codex.review.fullReview.showFileTree":"Zobraziť strom súborov","codex.review.header.moreOptions":"Možnosti kontroly","codex.review.largeDiff.banner":"Detegovalo sa veľké porovnanie – naraz sa zobrazuje len jeden súbor.","codex.review.loadFullFiles.disable":"Nenačítavať celé súbory","codex.review.loadFullFiles.enable":"Načítavať celé súbory","codex.review.noDiff":"Tu sa zobrazia zmeny súboru","codex.review.noDiff.gitInit.createRepository":"Vytvoriť odkladací priestor git","codex.review.noDiff.gitInit.creating":"Vytváranie…","codex.review.noDiff.gitInit.error":"Inicializácia git zlyhala: {message}","codex.review.noDiff.gitInit.success":"Odkladací priestor git sa vytvoril","codex.review.noDiff.gitRepoRequired.description":"Sledovanie a zrušenie zmien v tomto projekte","codex.review.noDiff.gitRepoRequired.title":"Vytvoriť odkladací priestor git","codex.review.noDiff.orNoLongerAvailable":"alebo už nie sú k dispozícii najnovšie rozdiely","codex.review.noDiff.reverted":"Posledný krok sa vrátil späť","codex.review.noDiff.revertedOrCommitted":"Posledný krok sa vrátil alebo sa potvrdil","codex.review.refreshGitQueries":"Obnoviť","codex.review.revert.file.error":"Vrátenie súboru {path} zlyhalo.","codex.review.revert.file.partialSuccess":"Čiastočne sa vrátil súbor {path}","codex.review.revert.file.success":"Vrátil sa súbor {path}","codex.review.revert.hunk.error":"Vrátenie veľkého bloku {hunkNumber} v {path} zlyhalo","codex.review.revert.hunk.partialSuccess":"Čiastočne sa vrátil veľký blok {hunkNumber} v {path}","codex.review.revert.hunk.success":"Vrátil sa veľký blok {hunkNumber} v {path}","codex.review.revert.section.error":"Vrátenie časti zlyhalo","codex.review.revert.section.partialSuccess":"Časť sa čiastočne vrátila","codex.review.revert.section.success":"Časť sa vrátila","codex.review.revertDialog.cancel":"Zrušiť","codex.review.revertDialog.confirm":"Potvrdiť","codex.review.revertDialog.message":"Táto akcia odstráni všetky tieto zmeny.","codex.review.revertDialog.skip":"Nabudúce sa nepýtať","codex.review.revertDialog.title":"Vrátiť zmeny?","codex.review.richPreview.disable":"Zakázať rozšírenú ukážku","codex.review.richPreview.enable":"Povoliť rozšírenú ukážku","codex.review.source.cloud":"Cloudové zmeny","codex.review.source.local.all":"Všetky zmeny vetiev","codex.review.source.local.lastTurn":"Zmeny posledného kroku","codex.review.source.local.uncommitted":"Nepotvrdené zmeny","codex.review.source.worktree":"Nepotvrdené zmeny pracovného stromu","codex.review.stageFilter.empty.staged.description":"Prijmi úpravy na ich fázovanie","codex.review.stageFilter.empty.staged.title":"Žiadne zmeny s fázou","codex.review.stageFilter.empty.unstaged.description":"Tu sa zobrazia zmeny kódu","codex.review.stageFilter.empty.unstaged.title":"Žiadne zmeny bez fázy","codex.review.stageFilter.staged":"S fázou","codex.review.stageFilter.staged.count":"S fázou · {count}","codex.review.stageFilter.unstaged":"Bez fázy","codex.review.stageFilter.unstaged.count":"Bez fázy · {count}","codex.review.switchToSplit":"Prepnúť na rozdelené porovnanie","codex.review.switchToUnified":"Prepnúť na zjednotené porovnanie","codex.review.toggleDiffView":"Prepnúť zobrazenie rozdielov","codex.review.wordDiffs.disable":"Zakázať slovné rozdiely","codex.review.wordDiffs.enable":"Povoliť slovné rozdiely","codex.review.wrap.disable":"Zakázať zalamovanie slov","codex.review.wrap.enable":"Povoliť zalamovanie slov","codex.section.patch.missing":"Pre túto časť sa nepodarilo vytvoriť opravu.","codex.shell.collapse":"Zbaliť shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Skopírovaný obsah shell","codex.shell.copy.copyTooltip":"Skopíruje sa obsah shell","codex.shell.copyCommand":"Skopíruje sa príkaz","codex.shell.copyOutput":"Skopíruje sa výstup","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Rozbaliť shell","codex.shell.name":"Shell","codex.shell.noOutput":"Žiadny výstup","codex.signInFailed.message":"Prihlásenie zlyhalo: {rawMessage}","codex.stories.toast.show":"Zobraziť správu","codex.stories.tooltip.basic":"Toto je popis","codex.stories.tooltip.hoverMe":"Presuň na mňa kurzor","codex.stories.tooltip.largerOffset":"Tento popis má väčší posun","codex.stories.tooltip.offsetButton":"Väčší posun","codex.stories.tooltip.shortcutButton":"So skratkou","codex.stories.tooltip.withShortcut":"Prepnúť terminál","codex.taskRow.title":"Nové vlákno","codex.taskRowLayout.confirm":"Potvrdiť","codex.threadFindBar.chatFilter":"Prehľadávať čety","codex.threadFindBar.close":"Zatvoriť hľadanie","codex.threadFindBar.diffFilter":"Hľadať porovnania","codex.threadFindBar.label":"Hľadať vo vlákne","codex.threadFindBar.nextResult":"Ďalší výsledok","codex.threadFindBar.noResults":"0 výsledkov","codex.threadFindBar.placeholder":"Hľadať vlákno…","codex.threadFindBar.placeholder.extension":"Hľadať vlákno…","codex.threadFindBar.placeholder.review":"Hľadať porovnanie…","codex.threadFindBar.placeholder.review.extension":"Hľadať porovnanie…","codex.threadFindBar.previousResult":"Predchádzajúci výsledok","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# zmenený súbor} few {# zmenené súbory} many {# zmeneného súboru} other {# zmenených súborov}}","codex.unifiedDiff.inlineLargeFile":"Príliš veľké na vložené vykreslenie","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Zrušiť zmeny","codex.unifiedDiff.revertPatchError":"Vrátenie zmien zlyhalo","codex.unifiedDiff.revertPatchSuccess":"Zmeny sa vrátili","codex.unifiedDiff.reviewChangesSuffix":"zmeny","codex.unifiedDiff.reviewShort":"Skontrolovať","codex.unifiedDiff.viewDiffTooltip":"Kontrola","codex.upsellBanner.business.headline":"Ak chceš teraz získať viac prístupov, pošli žiadosť svojmu správcovi alebo počkaj do {resetDate}.","codex.upsellBanner.cbp.headline":"Ak chceš teraz získať viac prístupov, pošli žiadosť svojmu správcovi.","codex.upsellBanner.cta.addCredits":"Pridať kredity","codex.upsellBanner.cta.upgradeAccount":"Upgradovať","codex.upsellBanner.cta.viewUsage":"Zobraziť spotrebu","codex.upsellBanner.free.trialHeadline":"Limit tarify sa zresetuje {resetDate}. Ak chceš pokračovať v používaní agenta Codex a získať prístup k modelu GPT-5.3-Codex, spusti ešte dnes bezplatnú skúšobnú verziu tarify Plus.","codex.upsellBanner.freeOrGo.headline":"Tvoj limit tarify sa zresetuje {resetDate}. Ak chceš naďalej používať agenta Codex, upgraduj ešte dnes na Plus.","codex.upsellBanner.general.headline":"Tvoj limit tarify sa zresetuje {resetDate}.","codex.upsellBanner.general.title":"Minuli sa ti správy agenta Codex","codex.upsellBanner.go.trialHeadline":"Limit tarify sa zresetuje {resetDate}. Ak chceš pokračovať v používaní agenta Codex, spusti ešte dnes bezplatnú skúšobnú verziu tarify Plus.","codex.upsellBanner.plus.headline":"Tvoj limit tarify sa zresetuje {resetDate}. Ak chceš naďalej používať agenta Codex, pridaj kredity alebo upgraduj ešte dnes na Pro.","codex.upsellBanner.pro.headline":"Tvoj limit tarify sa zresetuje {resetDate}. Ak chceš naďalej používať agenta Codex, pridaj kredity.","codex.userMessage.autoResolveSync":"Automatické vyriešenie konfliktov","codex.userMessage.commentCount":"{count, plural, one {# komentár} few {# komentárov} many {# komentárov} other {# komentárov}}","codex.userMessage.copiedAriaLabel":"Skopírované","codex.userMessage.copiedTooltip":"Skopírované","codex.userMessage.copyAriaLabel":"Kopírovanie správy","codex.userMessage.copyTooltip":"Kopírovať","codex.userMessage.implementPlan":"Implementovať plán","codex.userMessage.noContent":"(Žiadny obsah)","codex.userMessage.priorConversation":"Odkazuje na predošlú konverzáciu","codex.userMessage.reviewMode":"Režim kontroly","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"pre {query}","codex.webSearch.summary.verb.completed":"Prehľadal sa web","codex.webSearch.summary.verb.inProgress":"Prehľadáva sa web","codex.windowsInstallWslBanner.dismiss":"Skryť","codex.windowsInstallWslBanner.installWslCta":"Povoliť testovacie prostredie","codex.windowsInstallWslBanner.learnMore":"Ďalšie informácie","codex.windowsSandboxBanner.content":"Režim agenta používa experimentálne testovacie prostredie v systéme Windows na obmedzenie prístupu k súborovému systému a sieti. {sandboxLink}","codex.windowsSandboxBanner.title":"Povolenie testovacieho prostredia pre režim agenta","codex.windowsSubDropdown.windowsSandbox":"Testovacie prostredie systému Windows","codex.windowsSubDropdown.windowsSettings":"Nastavenia systému Windows","codexUpgradeModal.body":"Náš najnovší hraničný model kódovania agentom – inteligentnejší, rýchlejší a schopnejší v prípade všeobecných technických prác. {link}","codexUpgradeModal.close":"Zatvoriť","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Ďalšie informácie","codexUpgradeModal.title":"Predstavujeme GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Vyskúšať GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"Pokračovať s aktuálnym modelom","commentAttachments.numComments":"{count, plural, one {# komentár} few {# komentáre} many {# komentára} other {# komentárov}}","commentAttachments.removeAriaLabel":"Odstrániť prílohu s komentármi","common.close":"Zatvoriť","composer.addContext.openFilePickerError":"Nepodarilo sa otvoriť výber súborov","composer.addContextDropdown.ariaLabel":"Pridať súbory a viac","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Pridať súbory a viac","composer.addPhotosAndFiles":"Pridať fotografie a súbory","composer.atMentionList.emptyQuery":"Napíš text pre vyhľadávanie súborov","composer.atMentionList.loading":"Hľadá sa...","composer.atMentionList.noResults":"Žiadne výsledky","composer.attemptsSelector.option":"{count, plural, one {# verzia} few {# verzie} many {# verzie} other {# verzií}}","composer.attemptsSelector.tooltip":"Počet paralelných pokusov, ktoré má agent Codex vykonať","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Zastaviť","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokálne","composer.cloudFollowUp.whereRun":"Kde by sa malo spustiť toto sledovanie?","composer.cloudTaskCreationError":"Chyba pri vytváraní cloudovej úlohy","composer.cloudTaskError":"Chyba pri vytváraní úlohy","composer.contextWindow.autoCompactionTooltipLine1":"Agent Codex automaticky zhusťuje svoj kontext","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontextové okno:","composer.contextWindowUsageStatusFull":"Zaplnené na {usage} %","composer.contextWindowUsageStatusLeft":"Použité: {usage} % (zostáva: {remaining} %)","composer.contextWindowUsageTooltip":"Použité tokeny: {usedTokens} 000/{contextWindow} 000","composer.customCliTooltip":"Používa sa vlastné spustiteľné CLI","composer.dictation.aria":"Diktovanie","composer.dictation.cancel.aria":"Zastaviť diktovanie","composer.dictation.cancel.tooltip":"Zastaviť diktovanie","composer.dictation.startError":"Nepodarilo sa spustiť diktovanie","composer.dictation.submit.aria":"Prepísať a odoslať","composer.dictation.submit.tooltip":"Prepíše sa a odošle","composer.dictation.tooltip":"Podržaním diktuj","composer.dictation.transcribeError":"Nepodarilo sa prepísať zvukovú stopu","composer.dictation.unsupported":"Diktovanie nie je k dispozícii na tomto zariadení","composer.dropOverlay.holdShift":"Obrázok pustíš podržaním klávesu {key}","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Vytvoriť nové","composer.environmentSelector.error":"Chyba pri načítavaní prostredí","composer.environmentSelector.goBack":"Späť do skladateľa","composer.environmentSelector.title":"Vybrať prostredie","composer.environmentSelector.tooltip":"Vyberie sa cloudové prostredie","composer.feedbackSlashCommand.title":"Pripomienky","composer.filePicker.selectFile":"Vyber súbor","composer.filePicker.selectFiles":"Vyber súbory","composer.followerTooltip":"Ak chceš pokračovať, vráťte sa do okna, v ktorom začala táto konverzácia.","composer.footer.branchSwitch.checkoutError":"Prepnutie vetvy zlyhalo: {message}","composer.footer.branchSwitch.createAndCheckout":"Vytvoriť a skontrolovať novú vetvu…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Potvrď zmeny, aby sa vytvorila a skontrolovala nová vetva","composer.footer.branchSwitch.createBranchError":"Vytvorenie vetvy zlyhalo: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Názov vetvy","composer.footer.branchSwitch.createDialog.branchExistsError":"Vetva už existuje.","composer.footer.branchSwitch.createDialog.close":"Zatvoriť","composer.footer.branchSwitch.createDialog.createAndCheckout":"Vytvoriť a skontrolovať","composer.footer.branchSwitch.createDialog.placeholder":"nová-verva","composer.footer.branchSwitch.createDialog.title":"Vytvoriť a skontrolovať vetvu","composer.footer.branchSwitch.createDialog.trailingSlashError":"Názov vetvy nemôže končiť s /.","composer.footer.branchSwitch.tooltip":"Prepnúť vetvu","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Potvrď zmeny v {fileCount, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}} na kontrolu {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Potvrdiť","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"zmeny v {fileCount, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}} na kontrolu {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Zrušiť","composer.footer.branchSwitch.uncommittedDialog.commit":"Potvrdiť a prepnúť vetvu…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Tvoje zmeny nasledujúcich súborov budú prepísané kontrolou:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Ak chceš pokračovať, potvrď zmeny","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"vybratá vetva","composer.footer.branchSwitch.uncommittedDialog.title":"Na prepnutie vetvy potvrď zmeny","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nepotvrdené: {fileCount, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}}","composer.forkSlashCommand.description":"Toto vlákno sa rozvetví do lokálneho alebo nového pracovného stromu.","composer.forkSlashCommand.option.local.description":"Pokračovať v novom lokálnom vlákne","composer.forkSlashCommand.option.local.title":"Rozvetviť lokálne","composer.forkSlashCommand.option.worktree.description":"Pokračovať v novom pracovnom strome","composer.forkSlashCommand.option.worktree.title":"Rozvetviť v novom pracovnom strome","composer.forkSlashCommand.title":"Rozvetviť","composer.ideContextIndicator":"Kontext IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Zahrnúť kontext z IDE","composer.ideContextIndicator.tooltipToggle":"na prepnutie","composer.ideContextSlashCommand.disableDescription":"Vypnúť kontext IDE","composer.ideContextSlashCommand.enableDescription":"Vrátane aktuálneho výberu, otvorených súborov a ďalšieho kontextu z tvojho IDE","composer.ideContextSlashCommand.title":"Kontext IDE","composer.imageInputsUnsupported":"Tento model nepodporuje obrazové vstupy. Vyskúšaj iný model.","composer.imageUploadFailed":"Nahranie obrázka zlyhalo","composer.includeIdeContextDropdown":"Zahrnúť kontext IDE","composer.includeIdeContextDropdown.ariaLabel":"Zahrnúť kontext IDE","composer.localCwdDropdown.addWorkspaceRoot":"Pridať nový projekt","composer.localCwdDropdown.noActiveRoot":"Vyber svoj projekt","composer.localCwdDropdown.noResults":"Nenašli sa žiadne priečinky","composer.localCwdDropdown.title":"Vyber svoj projekt","composer.localTaskError":"Chyba pri spustení konverzácie","composer.mcpSlashCommand.description":"Zobrazí sa stav MCP servera","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Neoverené","composer.mcpStatus.authOauth":"Overené (OAuth)","composer.mcpStatus.authToken":"Overené (kľúč API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zatvoriť","composer.mcpStatus.disabled":"Zakázané","composer.mcpStatus.emptyLabel":"Servery:","composer.mcpStatus.emptyValue":"Žiadne nakonfigurované MCP servery","composer.mcpStatus.enabled":"Povolené","composer.mcpStatus.errorLabel":"Stav:","composer.mcpStatus.errorValue":"Nepodarilo sa načítať stav MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Prepnúť režim","composer.mode.agentMode.custom":"Vlastné","composer.mode.agentMode.custom.dropdownLabel":"Vlastné","composer.mode.agentMode.custom.option":"Vlastné (config.toml)","composer.mode.agentMode.custom.optionLabel":"Vlastné (config.toml)","composer.mode.agentMode.customInfo.cancel":"Zrušiť","composer.mode.agentMode.customInfo.cli":"Tieto nastavenia môžeš upraviť z CLI alebo upravením priamo súboru.","composer.mode.agentMode.customInfo.confirm":"Použiť vlastný režim","composer.mode.agentMode.customInfo.description":"Vlastný režim používa pravidlá politiky schvaľovania a testovacieho prostredia definované v tvojom súbore <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Ďalšie informácie o konfigurovaní pravidiel schvaľovania a testovacieho prostredia nájdeš v <link>dokumentoch o spustení prostredia</link>.","composer.mode.agentMode.customInfo.refresh":"Všetky zmeny sa prejavia pri ďalšom spustení agenta.","composer.mode.agentMode.customInfo.title":"Ako funguje vlastný režim","composer.mode.agentMode.fullAccess":"Agent (úplný prístup)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (úplný prístup)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (úplný prístup)","composer.mode.agentMode.fullAccessConfirm.caution":"Pri povoľovaní úplného prístupu buď opatrný/-á. Výrazne zvyšuje riziko straty údajov, únikov alebo neočakávaného správania.","composer.mode.agentMode.fullAccessConfirm.confirm":"Áno, pokračovať aj tak","composer.mode.agentMode.fullAccessConfirm.description":"Keď je agent Codex spustený s úplným prístupom, môže upravovať ktorýkoľvek súbor v počítači a spúšťať príkazy cez sieť bez tvojho súhlasu.","composer.mode.agentMode.fullAccessConfirm.goBack":"Zrušiť","composer.mode.agentMode.fullAccessConfirm.title":"Povoliť úplný prístup?","composer.mode.agentMode.readOnly":"Čet","composer.mode.agentMode.readOnly.dropdownLabel":"Čet","composer.mode.agentMode.readOnly.optionLabel":"Čet","composer.mode.agentMode.tooltip":"Prepnúť režim","composer.mode.agentMode.tooltip.auto":"Číta a upravuje súbory a spúšťa príkazy.","composer.mode.agentMode.tooltip.custom":"Použijú sa najnovšie pravidlá schvaľovania a testovacieho prostredia definované v súbore config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Agent Codex môže upravovať súbory mimo projektu a spúšťať príkazy s prístupom k sieti. Pri používaní buď opatrný/-á.","composer.mode.agentMode.tooltip.readOnly":"Úprava súborov a spúšťanie príkazov vyžadujú schválenie.","composer.mode.cloud.tooltip":"Pracuje sa v cloudovom prostredí","composer.mode.contactAdmin":"Ak chceš získať ďalší prístup, kontaktuj správcu","composer.mode.local":"Lokálne","composer.mode.local.learnMore":"Ďalšie informácie","composer.mode.local.model.custom":"Vlastné","composer.mode.local.model.loadingModel":"Načítava sa model","composer.mode.local.model.selecrReasoningEffort":"Vybrať myslenie","composer.mode.local.model.selectModel":"Vybrať model","composer.mode.local.model.tooltip":"Vyber model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Vysoké","composer.mode.local.reasoning.low.label":"Nízke","composer.mode.local.reasoning.medium.label":"Stredné","composer.mode.local.reasoning.minimal.label":"Minimálne","composer.mode.local.reasoning.none.label":"Žiadne","composer.mode.local.reasoning.xhigh.label":"Mimoriadne intenzívne","composer.mode.localRemoteWhereRun":"Vyberie sa miesto spustenia úlohy","composer.mode.newTask.header":"Pokračovať v","composer.mode.rateLimit.day":"{days} denne","composer.mode.rateLimit.heading":"Zostáva do limitu","composer.mode.rateLimit.hour":"{hours} hod","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Limit {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {týždenný limit} few {{weeks}-týždenný limit} many {{weeks}-týždenný limit} other {{weeks}-týždenný limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Týždenne} few {{weeks} týždne} many {{weeks} týždňa} other {{weeks} týždňov}}","composer.mode.remote.connectToCloud":"Pripojiť Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Nastav prostredie prostredníctvom Codex Web na povolenie odosielania úloh do cloudu","composer.mode.remote.selectEnvironment":"Vybrať prostredie","composer.mode.remote.sendToCloud":"Odoslať do cloudu","composer.mode.remote.setupViaWeb":"Nastaviť prostredie prostredníctvom Codex Web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Práca v cloudovom prostredí","composer.mode.segmentedToggle.local.tooltip":"Práca v lokálnom projekte","composer.mode.segmentedToggle.worktree.tooltip":"Práca v paralelnom pracovnom strome","composer.mode.upgradeToPlus":"Upgradovať na Plus","composer.mode.upgradeToPro":"Upgradovať na Pro","composer.mode.workLocally":"Lokálny projekt","composer.mode.workLocally.currentBranchFallback":"tvoja vetva","composer.mode.workLocally.tooltip":"Pracuje sa v {branchName}","composer.mode.worktree":"Nový pracovný strom","composer.mode.worktree.submoduleWarning":"Tento odkladací priestor obsahuje podmoduly git. Vytvorenie pracovného stromu môže zlyhať","composer.mode.worktree.tooltip":"Vytvorí sa kópia lokálneho projektu pre paralelnú prácu","composer.mode.worktreeSegment":"Pracovný strom","composer.modelChangeDuringConversationWarning.toast":"Zmena modelov počas konverzácie zníži výkon.","composer.newChat.heading.browser":"Čo by sme mali naprogramovať ako ďalšie?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex používa povolenie definované v súbore config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Agent Codex má úplný prístup k počítaču (zvýšené riziko)","composer.permissionsDropdown.custom.label":"Vlastné (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Vlastné (config.toml)","composer.permissionsDropdown.default.label":"Predvolené povolenia","composer.permissionsDropdown.default.optionLabel":"Predvolené povolenia","composer.permissionsDropdown.default.tooltip":"Agent Codex automaticky spúšťa príkazy v testovacom prostredí","composer.permissionsDropdown.disabled.requirements":"Povolenia sú uzamknuté súborom requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Režim úplného prístupu je zakázaný súborom requirements.toml","composer.permissionsDropdown.fullAccess.label":"Úplný prístup","composer.permissionsDropdown.fullAccess.optionLabel":"Úplný prístup","composer.permissionsDropdown.trigger.tooltip":"Zmeniť povolenia","composer.personalitySlashCommand.description.friendly":"Prívetivý, spolupracujúci a nápomocný","composer.personalitySlashCommand.description.pragmatic":"Stručný, zameraný na úlohu a priamy","composer.personalitySlashCommand.label.friendly":"Priateľský","composer.personalitySlashCommand.label.pragmatic":"Pragmatický","composer.personalitySlashCommand.notApplicableSuffix":"(Neplatí pre aktuálny model)","composer.personalitySlashCommand.title":"Osobnosť","composer.placeholder.cloudFollowUp.directFollowUp":"Ďalšie kroky tejto cloudovej úlohy","composer.placeholder.cloudFollowUp.local":"Vytvorí sa nová lokálna úloha odkazujúca na túto cloudovú úlohu","composer.placeholder.cloudFollowUp.workingTree":"Vytvorí sa nová cloudová úloha obsahujúca tvoj aktuálny kód a odkazujúca na túto úlohu","composer.placeholder.localFollowUp.cloud":"Ďalšie kroky novej cloudovej úlohy","composer.placeholder.localFollowUp.locally":"Požiadaj o zmeny ďalších krokov","composer.placeholder.newTask.cloud":"Požiadaj agenta Codex, aby vykonal čokoľvek v cloude","composer.placeholder.newTask.doAnything":"Požiadaj agenta Codex, aby vykonal čokoľvek","composer.placeholder.newTask.locally":"Opýtaj sa agenta Codex čokoľvek, @ na pridanie súborov, / pre príkazy","composer.planModeDropdown":"Režim tarify","composer.planModeDropdown.ariaLabel":"Režim tarify","composer.planModeIndicator":"Tarifa","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Vytvor plán s agentom Codex","composer.planModeIndicator.tooltipToggle":"na prepnutie","composer.planSlashCommand.disableDescription":"Vypne sa režim tarify","composer.planSlashCommand.enableDescription":"Zapne sa režim tarify","composer.planSlashCommand.title":"Režim tarify","composer.priorContext.label":"Predchádzajúci kontext","composer.priorContext.removeAriaLabel":"Odstrániť predchádzajúci kontext","composer.queuedMessage.delete":"Odstrániť správu vo fronte","composer.queuedMessage.edit":"Upraviť správu","composer.queuedMessage.more":"Akcie správy vo fronte","composer.queuedMessage.sendNow":"Riadiť","composer.queuedMessage.sendNowTooltip":"Odošle sa teraz bez prerušenia práce","composer.queuedMessage.turnOff":"Vypnúť zaraďovanie do fronty","composer.reasoningEffort.local.reasoning.tooltip":"Vyberie sa úsilie pri myslení","composer.remote.branchStartingPoint":"Z ktorej vetvy by sa mala spustiť táto úloha?","composer.remote.branchesSectionHeading":"Vetvy","composer.remote.currentEditsSuffix.followUp":"Vytvorí sa nová úloha odkazujúca na túto cloudovú úlohu.","composer.remote.currentEditsSuffix.useLocal":"so zmenami lokálneho kódu","composer.remote.directFollowUp":"Nepoužijú sa lokálne zmeny","composer.remote.errorLoadingBranches":"Chyba pri načítaní vetiev","composer.remote.fromBranch":"Od {branch}","composer.remote.fromCurrentBranch":"Z {branch} (aktuálne)","composer.remote.loadingMoreBranches":"Načítava sa…","composer.remote.localFileStateHeading":"Stav lokálneho súboru","composer.remote.localWorkingTree":"Použijú sa lokálne zmeny","composer.remote.startingPoint":"Z ktorého kódu by sa mala spustiť táto úloha?","composer.reviewMode.branches.error":"Nepodarilo sa načítať vetvy","composer.reviewMode.branches.retry":"Skúsiť znova","composer.reviewMode.gitRoot.error":"Koreňový git sa nenašiel","composer.reviewMode.option.baseBranch.simple":"Skontrolovať v porovnaní so základnou vetvou","composer.reviewMode.option.unstaged.simple":"Skontrolovať nepotvrdené zmeny","composer.reviewMode.quickReviewError":"Spustenie kontroly kódu zlyhalo.","composer.reviewMode.title":"Kontrola kódu","composer.sandboxButton.unlock.disabled.tooltip":"Režim úplného prístupu je zakázaný súborom requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Agent Codex môže v systéme Windows použiť experimentálne testovacie prostredie na obmedzenie prístupu k systému súborov a sieti. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Povoliť testovacie prostredie systému Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Používať len na čítanie","composer.searchEnvironments":"Hľadať prostredia","composer.skillMentionList.app":"Aplikácia","composer.skillMentionList.loading":"Načítavajú sa zručnosti...","composer.skillMentionList.noResults":"Nenašli sa žiadne zručnosti","composer.slashCommands.cloudEnvironment.title":"Cloudové prostredie","composer.slashCommands.dialogLabel":"Ponuka lomkových príkazov","composer.slashCommands.dialogTitle":"Lomkové príkazy","composer.slashCommands.disabledTooltip":"Spustí sa nová konverzácia na používanie lomkových príkazov","composer.slashCommands.inputPlaceholder":"Hľadaj","composer.slashCommands.noResults":"Žiadne príkazy","composer.slashCommands.skillsGroup":"Zručnosti","composer.slashCommands.tooltip":"Prehľadávajú sa lomkové príkazy","composer.status.close":"Zatvoriť","composer.statusPlain.alertLabel":"Upozornenie:","composer.statusPlain.alertValue":"Zostáva: {remaining} % v {window}","composer.statusPlain.contextLabel":"Kontext:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"(použité: {used}/{total})","composer.statusPlain.contextValueRemaining":"Zostáva: {remaining} %","composer.statusPlain.heading":"Stav","composer.statusPlain.modelRateLimitSectionLabel":"Limit {modelName}:","composer.statusPlain.rateLimitDays":"Limit {count} d","composer.statusPlain.rateLimitFallbackLabel":"Limit tarify:","composer.statusPlain.rateLimitHours":"Limit {count} h","composer.statusPlain.rateLimitLabelBase":"Limit tarify","composer.statusPlain.rateLimitMinutes":"Limit {count} m","composer.statusPlain.rateLimitPercent":"Zostáva: {remaining} %","composer.statusPlain.rateLimitReset":"zresetuje {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"čas resetovania nie je k dispozícii","composer.statusPlain.rateLimitUnavailable":"Nie je k dispozícii","composer.statusPlain.sessionCopiedAriaLabel":"Skopírovalo sa ID relácie","composer.statusPlain.sessionCopiedTooltip":"Skopírovalo sa ID","composer.statusPlain.sessionCopyAriaLabel":"Skopírovať ID relácie","composer.statusPlain.sessionCopyTooltip":"Skopíruj ID","composer.statusPlain.sessionLabel":"Relácia:","composer.statusSlashCommand.description":"Zobraziť ID vlákna, používanie kontextu a limity tarify","composer.statusSlashCommand.title":"Stav","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Nepodarilo sa poslať správu","composer.submit.emptyMessage":"Na začiatok napíš správu","composer.submit.imageInputsUnsupported":"Ak chceš odoslať túto správu, odstráň obrázky alebo prepni modely.","composer.submit.loadingLocalConfig":"Načítava sa…","composer.submit.missingCloudConfig":"Musíš vybrať cloudové prostredie","composer.submit.missingCloudTurn":"Nie je možné sledovať túto úlohu","composer.submit.noWorkspace":"Pridaj projekt na použitie agenta Codex","composer.submit.waitForImageUploads":"Nahrávanie obrázkov…","composer.submitButtonTooltip.send":"Odoslať","composer.submitButtonTooltip.stop":"Zastaviť","composer.worktreeEnvironment.create":"Vytvoriť lokálne prostredie","composer.worktreeEnvironment.default":"Predvolené prostredie","composer.worktreeEnvironment.error":"Chyba pri načítavaní prostredí","composer.worktreeEnvironment.loading":"Načítavajú sa prostredia…","composer.worktreeEnvironment.title":"Lokálne prostredie","composer.worktreeEnvironment.tooltip":"Vyberie sa lokálne prostredie","composer.worktreeSetupFailed":"Nastavenie pracovného stromu zlyhalo. Skontroluj .codex/environments, či neobsahuje inštalačný skript.","compoundButton.secondaryAction":"Sekundárna akcia","copyButton.copied":"Skopírované","copyButton.copiedAriaLabel":"Skopírované","copyButton.copy":"Kopírovať","copyButton.copyAriaLabel":"Kopírovať","copyButton.copyCode":"Kopírovať kód","diff.actionButton.revertFile":"Vrátiť súbor","diff.actionButton.revertHunk":"Vrátiť","diff.actionButton.revertSection":"Vrátiť všetko","diff.actionButton.revertSectionLabel":"Vrátiť všetko","diff.actionButton.stageFile":"Súbor fázy","diff.actionButton.stageHunk":"Fáza","diff.actionButton.stageSection":"Vytvoriť fázu pre všetky","diff.actionButton.stageSectionLabel":"Vytvoriť fázu pre všetky","diff.actionButton.unstageFile":"Zrušiť fázu súboru","diff.actionButton.unstageHunk":"Zrušiť fázu","diff.actionButton.unstageSection":"Zrušiť fázu pre všetky","diff.actionButton.unstageSectionLabel":"Zrušiť fázu pre všetky","diff.fileHeader.toggle":"Prepnúť porovnanie súborov","electron.onboarding.login.apikey.cancel":"Zrušiť","electron.onboarding.login.apikey.continue":"Pokračovať","electron.onboarding.login.apikey.label":"Kľúč API OpenAI","electron.onboarding.login.apikey.open":"Zadať kľúč API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Zrušiť prihlásenie","electron.onboarding.login.chatgpt.continue":"Pokračovať s modulom ChatGPT","electron.onboarding.login.devbox":"Pripojiť sa k vzdialenému SSH","electron.onboarding.login.error":"Prihlásenie zlyhalo: {rawMessage}","electron.onboarding.login.snake.start":"Prehrať Snake","electron.onboarding.login.sshConfig.cancel":"Zrušiť","electron.onboarding.login.sshConfig.continue":"Pokračovať","electron.onboarding.login.sshConfig.hostnameLabel":"Názov hostiteľa SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Najlepší spôsob tvorby s agentmi","electron.onboarding.login.title":"Víta ťa Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Pokračovať","electron.onboarding.welcome.doubleLimits.description":"V rámci oslavy uvedenia aplikácie Codex máte do 2. apríla dvojnásobné limity tarify.","electron.onboarding.welcome.freego.description":"Agent Codex je súčasťou tvojej tarify zadarmo až do 2. marca – začnime tvoriť spoločne.","electron.onboarding.welcome.new.title.anon":"Vitaj!","electron.onboarding.workspace.continue":"Pokračovať","electron.onboarding.workspace.empty":"Pridaj projekt a pokračuj.","electron.onboarding.workspace.listLabel":"Dostupné projekty","electron.onboarding.workspace.loading":"Načítavajú sa projekty…","electron.onboarding.workspace.openFolder":"Pridať projekt","electron.onboarding.workspace.selectAll":"Vybrať všetko","electron.onboarding.workspace.skip":"Preskočiť","electron.onboarding.workspace.skip.error":"Nepodarilo sa vytvoriť nový projekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Neznáma chyba","electron.onboarding.workspace.skipping":"Vytvára sa nový projekt…","electron.onboarding.workspace.subtitle":"Agent Codex bude môcť upravovať súbory a spúšťať príkazy vo vybraných priečinkoch.","electron.onboarding.workspace.title":"Vybrať projekt","errorPage.list.checkSettings":"Skús aktualizovať nastavenia IDE","errorPage.list.configToml":"Skontroluj config.toml pre neplatné nastavenia","errorPage.list.downloadExtension":"Skús stiahnuť inú verziu rozšírenia","errorPage.list.runInWsl":"V prípade problémov s kompatibilitou skontroluj nastavenia a zakáž spúšťanie v prostredí WSL.","execApprovalRequest.menu.runAlways":"Áno, a v tejto relácii sa už nabudúce nepýtať","execApprovalRequest.menu.runAlwaysWithAmendment":"Áno, a nabudúce sa nepýtať znova na príkazy začínajúce s {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Áno, a nabudúce sa nepýtať znova na príkazy začínajúce s","execApprovalRequest.menu.runOnce":"Áno","execApprovalRequest.prompt":"Chceš spustiť tento príkaz?","execApprovalRequest.reject":"Nie","execFooter.exitCode":"Kód ukončenia {code}","execFooter.exitCode.unknown":"neznámy","execFooter.success":"Úspešne","feedback.dialog.category.badResult":"Zlý výsledok","feedback.dialog.category.bug":"Chyba","feedback.dialog.category.goodResult":"Dobrý výsledok","feedback.dialog.category.other":"Iné","feedback.dialog.descriptionPlaceholder":"Tu popíš problém","feedback.dialog.dismiss":"Skryť","feedback.dialog.includeLogsLabel":"Zahrnú sa denníky aktuálnej relácie agenta Codex","feedback.dialog.submit":"Odoslať","feedback.dialog.submitError":"Nepodarilo sa odoslať tvoje pripomienky. Skús to znova o chvíľu.","feedback.dialog.title":"Pripomienky","feedback.dialog.uploadedMessage.existingIssue":"existujúci otvorený problém","feedback.dialog.uploadedMessage.openIssue":"otvor problém GitHub","feedback.dialog.uploadedMessage.withThread":"Pripomienky sa nahrali. Ak problém pretrváva, {openIssueLink} alebo spomeň ID vlákna v {existingIssueLink}:","feedback.dialog.uploadedTitle":"Pripomienky sa nahrali","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Odstrániť {filename}","header.back":"Späť","header.recentChats":"Úlohy","header.recentTasks.seeAll":"Zobraziť všetko ({total})","home.header.getPlus":"Získať Plus","home.hero.letsBuild":"Poďme tvoriť","homePage.mainContent":"Hlavný obsah","imageAttachment.defaultName":"obrázok","imageAttachment.preview.close":"Zatvoriť ukážku obrázka","imageAttachment.removeAriaLabel":"Odstrániť {filename}","implementPlanRequest.option.implement":"Áno, implementovať tento plán","implementPlanRequest.prompt":"Implementovať tento plán?","inbox.archived.deleteError":"Nepodarilo sa odstrániť archivované spustenie","inbox.archived.deleteRun":"Odstrániť archivované spustenie","inbox.archived.deleteSuccess":"Archivované vlákno sa odstránilo. Môžeš ho zobraziť v <settingsLink>archivovaných vláknach</settingsLink>.","inbox.archived.inlineLabel.auto":"Toto vlákno sa archivovalo automaticky. <learnMoreLink>Ďalšie informácie</learnMoreLink>","inbox.archived.inlineLabel.manual":"Toto vlákno sa archivovalo.","inbox.archived.noMessageFound":"Nenašla sa žiadna správa","inbox.automations.createError":"Nepodarilo sa vytvoriť automatizáciu","inbox.automations.deleteConfirm.cancel":"Zrušiť","inbox.automations.deleteConfirm.confirm":"Odstrániť automatizáciu","inbox.automations.deleteConfirm.description":"Týmto sa natrvalo odstráni automatizácia a zastavia sa akékoľvek budúce spustenia.","inbox.automations.deleteConfirm.title":"Odstrániť {name}?","inbox.automations.deleteError":"Nepodarilo sa odstrániť automatizáciu","inbox.automations.editTooltip":"Upraviť automatizáciu","inbox.automations.inProgress":"Prebieha","inbox.automations.new":"Nové","inbox.automations.newToolbar":"Nová automatizácia","inbox.automations.pauseTooltip":"Pozastaviť automatizáciu","inbox.automations.resumeTooltip":"Obnoviť automatizáciu","inbox.automations.startingNow":"Spúšťa sa","inbox.automations.startsIn":"Spustí sa o {startTime}","inbox.automations.status.active":"Aktívne","inbox.automations.status.paused":"Pozastavené","inbox.automations.status.runs":"Spustenia: {count}","inbox.automations.status.started":"Začiatok: {date}","inbox.automations.updateError":"Nepodarilo sa aktualizovať automatizáciu","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Všetko","inbox.filter.ariaLabel":"Filtrovať položky inboxu","inbox.filter.unread":"Neprečítané","inbox.list.archived":"Archivované","inbox.list.inProgress":"Prebieha","inbox.list.recent":"Dokončené","inbox.list.upNext":"Naplánované","inbox.mode.automations":"Automatizácie","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Neposkytnutý opis","inbox.openThread":"Otvoriť vlákno","inbox.rightPanel.emptySubtitle":"Automatizuj prácu nastavením plánovaných úloh","inbox.rightPanel.emptySubtitle.learnMore":"Automatizuj prácu nastavením plánovaných vláken. <link>Ďalšie informácie</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktívna automatizácia} few {# aktívne automatizácie} many {# aktívnej automatizácie} other {# aktívnych automatizácií}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Žiadne neprečítané automatizácie","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# neprečítaná automatizácia} few {# neprečítané automatizácie} many {# neprečítanej automatizácie} other {# neprečítaných automatizácií}}","inbox.rightPanel.emptyTitle":"Žiadna vybratá položka","inbox.rightPanel.noThread":"Žiadne vlákno pre túto položku","inbox.rightPanel.quickStart.header":"Začni so šablónou","inbox.untitled":"Položka inboxu bez názvu","loadingPage.documentationLink":"dokumentácia","loadingPage.errorDescription":"Agent Codex zlyhal s nasledujúcou chybou:","loadingPage.errorDescription.documentation":"Kliknutím reštartuj rozšírenie agenta Codex alebo navštív stránku {documentationLink} pre ďalšiu pomoc.","loadingPage.errorSignal":"Niečo na vyskúšanie:","loadingPage.errorTitle":"Vyskytla sa chyba","loadingPage.openConfigToml":"Otvoriť config.toml","loadingPage.reload":"Načítať znova","localConversation.contextCompacted":"Kontext sa automaticky zhustil","localConversation.contextCompacting":"Automatické zhusťovanie kontextu","localConversation.forkedFromConversation":"Rozvetvené z {threadTitle}","localConversation.merge.autoResolve.failed":"Žiadosť o automatické vyriešenie zlyhala: {error}","localConversation.merge.autoResolve.sent":"Žiadosť o automatické vyriešenie sa odoslala","localConversation.merge.autoResolveMerge.missingConversation":"Automatické vyriešenie nie je možné bez aktívnej konverzácie.","localConversation.merge.autoResolveMerge.request":"Automaticky vyriešiť konflikty pri zlučovaní","localConversation.modelChanged":"Model sa zmenil z {fromModel} na {toModel}.","localConversation.modelChanged.warning.line1":"Zmena modelov počas konverzácie zníži výkon.","localConversation.modelChanged.warning.line2":"Kontext sa môže automaticky zhustiť.","localConversation.moveThread.createBranch.label":"Vytvoriť vetvu","localConversation.moveToLocal.disabled.loading":"Načítava sa…","localConversation.moveToLocal.modal.continue":"Pokračovať","localConversation.moveToLocal.modal.destinationLabel":"Presunúť do","localConversation.moveToLocal.modal.retry":"Skúsiť znova","localConversation.moveToWorktree.modal.back":"Späť","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Vetva už existuje.","localConversation.moveToWorktree.modal.branchesError":"Nepodarilo sa načítať vetvy","localConversation.moveToWorktree.modal.branchesLoading":"Načítavajú sa vetvy…","localConversation.moveToWorktree.modal.branchesRetry":"Skúsiť znova","localConversation.moveToWorktree.modal.continue":"Pokračovať","localConversation.moveToWorktree.modal.retry":"Skúsiť znova","localConversation.moveToWorktree.modal.trailingSlashError":"Názov vetvy nemôže končiť s /.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nová-verva","localConversation.personalityChanged":"Preplo sa na osobnosť {personality}","localConversation.planSummary.collapse":"Zbaliť súhrn tarify","localConversation.planSummary.collapseTooltip":"Zbaliť","localConversation.planSummary.download":"Stiahnuť plán","localConversation.planSummary.expand":"Rozbaliť súhrn tarify","localConversation.planSummary.expandTooltip":"Rozbaliť","localConversation.planSummary.openInNewWindow":"Otvoriť","localConversation.planSummary.openInNewWindow.tooltip":"Otvoriť v novom okne","localConversation.planSummary.title":"Tarifa","localConversation.planSummary.titleWriting":"Píše sa plán","localConversation.planSummary.viewPlan":"Rozšíriť tarifu","localConversation.remoteTaskCreated":"Vytvorila sa {taskLink} v Codex Cloud","localConversation.remoteTaskCreated.task":"úloha","localConversation.scrollToBottomButton":"Presunúť sa nadol","localConversation.sync.buttonLabel":"Odovzdať lokálnemu prostrediu","localConversation.sync.buttonLabel.tooltip":"Odovzdaj zmeny medzi týmto pracovným stromom a lokálnou kontrolou.","localConversation.sync.modal.loading.title":"Odovzdávajú sa zmeny…","localConversation.sync.modal.noChanges":"Žiadne zmeny","localConversation.syncSetup.branchAriaLabel":"Názov vetvy","localConversation.syncSetup.branchName":"Názov vetvy","localConversation.syncSetup.branchPlaceholder.existing":"Vyber existujúcu vetvu","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Načítavajú sa vetvy…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Už skontrolované","localConversation.syncSetup.checkoutClean":"Aktuálne v {branchName}","localConversation.syncSetup.checkoutDirty":"Aktuálne v {branchName} s nepotvrdenými zmenami","localConversation.syncSetup.checkoutError":"Kontrola vetvy zlyhala: {message}","localConversation.syncSetup.checkoutLabel":"Skontrolovať lokálne hneď teraz","localConversation.syncSetup.checkoutOnLocal":"Odovzdať lokálnemu prostrediu","localConversation.syncSetup.checkoutPending":"Kontroluje sa lokálny stav…","localConversation.syncSetup.checkoutUnavailable":"Lokálny pracovný priestor nie je k dispozícii","localConversation.syncSetup.checkoutUnknown":"Lokálna vetva nie je k dispozícii","localConversation.syncSetup.continue":"Pokračovať","localConversation.syncSetup.createBranchError":"Nastavenie odovzdania vetvy zlyhalo: {message}","localConversation.syncSetup.error":"Niekde sa stala chyba: {message}","localConversation.syncSetup.error.workingTreeMissing":"Nepodarilo sa vytvoriť sumár pracovného stromu. Skús vykonať odovzdanie znova.","localConversation.syncSetup.mode.ariaLabel":"Vyber režim vetvy","localConversation.syncSetup.mode.existing":"Existujúca vetva","localConversation.syncSetup.mode.new":"Nová vetva","localConversation.syncSetup.noBranches":"Nenašli sa žiadne vetvy","localConversation.syncSetup.overwriteError":"Vetva sa vytvorila, ale neodovzdala sa úplne. Pred lokálnou kontrolou ju odovzdaj manuálne.","localConversation.syncSetup.setPrefix":"Nastaviť predponu","localConversation.syncSetup.subtitle":"Testuj a upravuj zmeny pracovného stromu lokálne. <a>Ďalšie informácie</a>","localConversation.syncSetup.success.checkedOut":"Vetva sa vytvorila a kontroluje sa lokálne","localConversation.syncSetup.success.notCheckedOut":"Vetva sa vytvorila","localConversation.syncSetup.title":"Odovzdať lokálnej vetve","localConversation.syncWorktreeError.branchAriaLabel":"Názov vetvy","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Vyber vetvu, ktorej chceš odovzdať zmeny, a potom zmeny načítaj znova.","localConversation.syncWorktreeError.branchSetup.title":"Aktualizovať vetvu","localConversation.syncWorktreeError.branchUpdate.cta":"Aktualizovať a skúsiť znova","localConversation.syncWorktreeError.branchUpdate.error":"Aktualizácia vetvy zlyhala: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Niekde sa stala chyba: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Vetva nie je skontrolovaná v žiadnom pracovnom strome.","localConversation.syncWorktreeV2.applyUncommitted":"Použiť","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Ak chceš použiť nepotvrdené zmeny, musíš lokálne skontrolovať vetvu.","localConversation.syncWorktreeV2.branches.empty":"Nenašli sa žiadne vetvy","localConversation.syncWorktreeV2.branches.loading":"Načítavajú sa vetvy…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Zmeniť odovzdanie vetvy","localConversation.syncWorktreeV2.changeBranch.error":"Zmena odovzdania vetvy zlyhala: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Použitie zlyhalo","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Prepísanie pracovného stromu zlyhalo","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Prepísanie lokálnych zmien zlyhalo","localConversation.syncWorktreeV2.commandError.back":"Späť","localConversation.syncWorktreeV2.commandError.body":"Príkaz git zlyhal pri odovzdávaní. Skontroluj výstup a skús to znova.","localConversation.syncWorktreeV2.commandError.retry":"Skúsiť znova","localConversation.syncWorktreeV2.description":"Odovzdajú sa zmeny medzi lokálnym prostredím a týmto pracovným stromom. <a>Ďalšie informácie</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"Výber smeru odovzdania","localConversation.syncWorktreeV2.error.generic":"Počas odovzdávania sa niekde stala chyba. Skús to znova.","localConversation.syncWorktreeV2.localBranchLabel":"Lokálne","localConversation.syncWorktreeV2.noChanges":"Počítanie zmien","localConversation.syncWorktreeV2.noChanges.summary":"Žiadne zmeny","localConversation.syncWorktreeV2.overwrite.local":"Prepísať lokálne zmeny","localConversation.syncWorktreeV2.overwrite.worktree":"Prepísať pracovný strom","localConversation.syncWorktreeV2.partial.action.applyFailed":"Nepodarilo sa použiť zmeny","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Nepodarilo sa prepísať lokálne zmeny","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Nepodarilo sa prepísať zmeny v pracovnom strome","localConversation.syncWorktreeV2.partial.appliedLabel":"Použité","localConversation.syncWorktreeV2.partial.back":"Späť","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Vyrieš konflikty a skús to znova.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikty","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}}","localConversation.syncWorktreeV2.partial.retry":"Skúsiť znova","localConversation.syncWorktreeV2.partial.skippedLabel":"Preskočené","localConversation.syncWorktreeV2.stateFailed.generic":"Pri získavaní zmien pracovného stromu na odovzdanie sa niekde stala chyba. Skús to znova.","localConversation.syncWorktreeV2.stateFailed.title":"Načítanie zmien pracovného stromu zlyhalo","localConversation.syncWorktreeV2.statusError.diffUnknown":"Načítanie zmien pracovného stromu zlyhalo.","localConversation.syncWorktreeV2.statusError.retry":"Skúsiť znova","localConversation.syncWorktreeV2.statusError.title":"Nepodarilo sa načítať zmeny lokálnej vetvy","localConversation.syncWorktreeV2.statusError.unknown":"Stav vetvy nie je momentálne k dispozícii. Skús to znova.","localConversation.syncWorktreeV2.success.apply":"Zmeny sa úspešne použili","localConversation.syncWorktreeV2.success.overwrite":"Odovzdanie bolo úspešné","localConversation.syncWorktreeV2.title":"Odovzdanie zmien","localConversation.syncWorktreeV2.worktreeLabel":"Pracovný strom","localConversation.userInputRequest.inProgress":"Pýta sa {count, plural, one {otázku} few {otázky} many {otázky} other {otázok}}","localConversation.userInputRequest.noAnswer":"Žiadna poskytnutá odpoveď","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Opýtané","localConversation.userInputRequest.summary.count":"{count, plural, one {# otázka} few {# otázky} many {# otázky} other {# otázok}}","localConversation.workedFor":"Pracoval som {time}","localConversation.worktreeBranchSetup.action.create":"Vytvoriť","localConversation.worktreeBranchSetup.branchAriaLabel":"Názov vetvy","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Vytvoriť novú vetvu","localConversation.worktreeBranchSetup.checkoutDisabled":"Táto vetva je už skontrolovaná v {location}","localConversation.worktreeBranchSetup.checkoutError":"Kontrola vetvy zlyhala: {message}","localConversation.worktreeBranchSetup.createBranchError":"Nastavenie vetvy zlyhalo: {message}","localConversation.worktreeBranchSetup.error":"Niekde sa stala chyba: {message}","localConversation.worktreeBranchSetup.subtitle":"Vytvor vetvu na potvrdenie zmien, ich odoslanie a vytvorenie PR z tohto pracovného stromu. <a>Ďalšie informácie</a>.","localConversation.worktreeBranchSetup.title":"Tu pracuj","localConversationPage.addWorktreeToSidebar.tooltip":"Ulož to ako projekt, aby si mohol/-a z tohto pracovného stromu začínať nové vlákna","localConversationPage.addWorktreeToSidebarError":"Pridanie projektu zlyhalo","localConversationPage.commitAndCreatePrModal.errorTitle":"Potvrdenie a vytvorenie PR zlyhalo","localConversationPage.commitAndCreatePrModal.successTitle":"Potvrdilo sa a vytvorilo PR","localConversationPage.commitAndPushModal.errorTitle":"Potvrdenie a odoslanie zlyhalo","localConversationPage.commitAndPushModal.successTitle":"Potvrdené a odoslané zmeny","localConversationPage.commitCreatePr.open":"Otvoriť žiadosť o stiahnutie","localConversationPage.commitCreatePr.successTitle":"Vytvorené PR s najnovšími zmenami","localConversationPage.createBranchButtonLabel":"Tu vetviť","localConversationPage.createPrModal.baseBranch":"Základ","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Vytvoriť PR","localConversationPage.createPrModal.createDescription":"Otvorí sa žiadosť o stiahnutie pre najnovšie zmeny.","localConversationPage.createPrModal.errorTitle":"Žiadosť o stiahnutie zlyhala","localConversationPage.createPrModal.headBranch":"Hlava","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Otvoriť PR","localConversationPage.createPrModal.successTitle":"Žiadosť o stiahnutie sa vytvorila","localConversationPage.createPrModal.title":"Vytvorenie žiadosti o stiahnutie","localConversationPage.createPrModal.viewDescription":"Pre túto vetvu už existuje žiadosť o stiahnutie.","localConversationPage.createPrModal.viewTitle":"Žiadosť o stiahnutie je pripravená","localConversationPage.createPullRequestAuthGh":"Overenie GitHub CLI: spusti gh auth login","localConversationPage.createPullRequestBranchMissing":"Informácie o vetve nie sú k dispozícii","localConversationPage.createPullRequestButtonLabel":"Vytvoriť PR","localConversationPage.createPullRequestButtonLabel.loading":"Vytvára sa PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Predvolené informácie o vetve nie sú k dispozícii","localConversationPage.createPullRequestError":"Vytvorenie žiadosti o stiahnutie zlyhalo","localConversationPage.createPullRequestExistingPullRequest":"Pre túto vetvu už existuje žiadosť o stiahnutie","localConversationPage.createPullRequestGhStatusMissing":"Načítava sa stav GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Nainštaluj GitHub CLI (gh) na vytváranie PR","localConversationPage.createPullRequestNoRepo":"Nenašiel sa žiadny odkladací priestor git","localConversationPage.createPullRequestPushStatusMissing":"Načítava sa stav odoslania…","localConversationPage.createPullRequestSetUpstream":"Túto vetvu odošli pred vytvorením PR","localConversationPage.createPullRequestSuccessToast":"Žiadosť o stiahnutie sa vytvorila","localConversationPage.createPullRequestSwitchBranch":"Vetvu funkcie over pred vytvorením PR","localConversationPage.error.render":"Chyba pri vykresľovaní lokálnej konverzácie","localConversationPage.error.toast":"Konverzácia sa nenašla","localConversationPage.forcePushError":"Vynútené odoslanie zlyhalo","localConversationPage.generatePullRequestMessageError":"Nepodarilo sa vygenerovať názov a telo žiadosti o stiahnutie.","localConversationPage.generatePullRequestMessageFailed":"Nepodarilo sa vygenerovať názov a telo žiadosti o stiahnutie.","localConversationPage.gitActionResult.branch":"Vetva","localConversationPage.gitActionResult.cancel":"Zrušiť","localConversationPage.gitActionResult.close":"Zatvoriť","localConversationPage.gitActionResult.tryAgain":"Skúsiť znova","localConversationPage.gitActions":"Akcie Git","localConversationPage.newChat":"Nový čet","localConversationPage.openInTarget":"Otvoriť v","localConversationPage.openPrimaryTarget":"Otvoriť","localConversationPage.planItemsCompleted":"{completedItems} z {totalItems, plural, one {# úloha sa dokončila} few {# úlohy sa dokončili} many {# úlohy sa dokončilo} other {# úloh sa dokončilo}}","localConversationPage.pushAuthError":"Odoslanie zlyhalo: vyžaduje sa overenie","localConversationPage.pushBranchMissing":"Informácie o vetve nie sú k dispozícii","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Odosielanie…","localConversationPage.pushError":"Odoslanie zmien zlyhalo","localConversationPage.pushModal.branchLabel":"Vetva","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Zrušiť","localConversationPage.pushModal.confirm":"Odoslať","localConversationPage.pushModal.description":"Odošli najnovšie potvrdenia do vzdialeného odkladacieho priestoru.","localConversationPage.pushModal.errorTitle":"Odoslanie zlyhalo","localConversationPage.pushModal.forcePush":"Vynútené odoslanie","localConversationPage.pushModal.successTitle":"Odoslanie je dokončené","localConversationPage.pushModal.title":"Zmeny odoslania","localConversationPage.pushModal.tryAgain":"Skúsiť znova","localConversationPage.pushNoUpstream":"Poskytnutie údajov nastav pred odoslaním tejto vetvy","localConversationPage.pushNoUpstreamError":"Odoslanie zlyhalo: nie je nakonfigurované poskytovanie údajov","localConversationPage.pushNothingToPush":"Žiadne nové potvrdenia na odoslanie","localConversationPage.pushRemoteChangedError":"Odoslanie zlyhalo: vzdialené zariadenie má nové zmeny","localConversationPage.pushRemoteRejectedError":"Odoslanie odmietlo vzdialené zariadenie","localConversationPage.pushStatusMissing":"Načítava sa stav odoslania…","localConversationPage.pushSuccessToast":"Odoslané zmeny","localConversationPage.viewPullRequestButtonLabel":"Zobraziť PR","localConversationPage.viewPullRequestButtonLabel.loading":"Načítavanie žiadosti o stiahnutie…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# zoznam} few {# zoznamy} many {# zoznamov} other {# zoznamov}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# hľadanie} few {# hľadaní} many {# hľadaní} other {# hľadaní}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Skúmanie","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Preskúmané","localConversationTurn.exploration.accordion.header.complete.withCounts":"Preskúmané: {counts}","localConversationTurnStory.showContent":"Zobraziť obsah","localConversationTurnStory.streamContent":"Streamovať obsah","localConversationTurnStory.toggleReasoning":"Zobraziť myslenie","localTaskRow.archiveError":"Archivovanie konverzácie zlyhalo","localTaskRow.resumeError":"Obnovenie úlohy zlyhalo","mermaidDiagram.ariaLabel":"Diagram nástroja Mermaid","mermaidDiagram.copySource":"Kopírovať nástroj Mermaid","mermaidDiagram.originalCode":"Zdrojový kód nástroja Mermaid","notifications.permissions.description":"Zobrazuje upozornenia, keď sa vyžadujú povolenia na upozornenia","notifications.permissions.label":"Povoliť upozornenia na povolenia","notifications.turnMode.always":"Vždy","notifications.turnMode.description":"Nastav, kedy ťa agent Codex upozorní na dokončenie","notifications.turnMode.label":"Zapnúť upozornenia na dokončenie","notifications.turnMode.off":"Nikdy","notifications.turnMode.unfocused":"Len mimo zamerania","patchApprovalRequest.approve":"Schváliť","patchApprovalRequest.menu.allowAlways":"Áno, a v tejto relácii sa už nabudúce nepýtať","patchApprovalRequest.menu.allowForSession":"Áno, a v tejto relácii sa už nabudúce nepýtať","patchApprovalRequest.menu.allowOnce":"Áno","patchApprovalRequest.prompt":"Chceš vykonať tieto zmeny?","patchApprovalRequest.reject":"Nie","patchApprovalRequest.waitingForApproval":"Čaká sa na schválenie úpravy súborov","pendingRequest.approvalExec.collapse":"Zbaliť","pendingRequest.approvalExec.expand":"Rozbaliť","pendingRequestStory.toastAnswer":"Odpoveď: {answer}","pendingRequestStory.toastApprovalTitle":"Schvaľovacia odpoveď","pendingRequestStory.toastFollowupPrompt":"Príkaz: {prompt}","pendingRequestStory.toastFollowupTitle":"Ďalšie kroky odoslané","pendingRequestStory.toastNoAnswers":"Žiadne poskytnuté odpovede","pendingRequestStory.toastQuestion":"Otázka: {question}","pendingRequestStory.toastUnknownDecision":"Neznáme","pendingRequestStory.toastUserInputTitle":"Odoslané odpovede","quickAction.request.codeReview.branches.new":"Skontroluj zmeny týkajúce sa {from} v porovnaní s {to}","quickAction.request.codeReview.uncommitted.new":"Skontroluj moje nepotvrdené zmeny","reasoningItem.thinking":"Rozmýšľam","reasoningItem.thought":"Rozmýšľal som","reasoningItem.thoughtWithElapsed":"Rozmýšľal som {elapsed}","recentConversations.title":"Nedávne konverzácie","recentTasks.worktreeInitFailedTitle":"Inicializácia pracovného stromu zlyhala","recentTasks.worktreeSettingUpTitle":"Nastavuje sa pracovný strom","requestInputPanel.continue":"Pokračovať","requestInputPanel.dismiss":"Skryť","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Tu píš","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nie a povedz agentovi Codex, čo má robiť ináč","requestInputPanel.selectedBadge":"Vybraté","requestInputPanel.skip":"Preskočiť","requestInputPanel.submit":"Odoslať","review.commit.ariaLabel.includeUnstaged":"Vrátane zmien bez fázy","review.commit.buttonLabel":"Potvrdiť","review.commit.disabled.committing":"Potvrdzuje sa…","review.commit.disabled.loadingDiff":"Načítava sa porovnanie…","review.commit.disabled.missingContext":"Pridaj kontext na vygenerovanie správy o potvrdení","review.commit.disabled.noChanges":"Žiadne zmeny na potvrdenie","review.commit.disabled.noSelection":"Vyber zmeny na potvrdenie","review.commit.disabled.unavailable":"Potvrdenie momentálne nie je k dispozícii","review.commit.error":"Potvrdenie zmien zlyhalo","review.commit.form.changesToBeCommitted":"Zmeny","review.commit.form.commitTo":"Vetva","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Pokračovať","review.commit.form.title":"Potvrdenie zmien","review.commit.generate.emptyResponse":"Nepodarilo sa vygenerovať správu o potvrdení","review.commit.generate.failed":"Vygenerovanie správy o potvrdení zlyhalo: {error}","review.commit.generate.missingPrompt":"Pridaj kontext na vygenerovanie správy o potvrdení.","review.commit.includeUnstaged":"Vrátane zmien bez fázy","review.commit.loading.description":"Poriadne sa drž, môže to chvíľu trvať…","review.commit.loading.step.commit.done":"Potvrdené zmeny","review.commit.loading.step.commit.pending":"Potvrdzujú sa zmeny","review.commit.loading.step.createPr.done":"Žiadosť o stiahnutie sa vytvorila","review.commit.loading.step.createPr.pending":"Vytvára sa žiadosť o stiahnutie","review.commit.loading.step.push.done":"Odoslané do vetvy {branch}","review.commit.loading.step.push.pending":"Odosiela sa do vetvy {branch}","review.commit.loading.title.commit":"Potvrdzujú sa zmeny","review.commit.loading.title.createPr":"Vytvára sa PR","review.commit.loading.title.push":"Odosielajú sa zmeny","review.commit.messageLabel":"Potvrdiť správu","review.commit.messagePlaceholder":"Pre automatické generovanie správy o potvrdení to ponechaj prázdne","review.commit.nextSteps":"Ďalšie kroky","review.commit.nextSteps.commit":"Potvrdiť","review.commit.nextSteps.commitAndCreate":"Potvrdiť a vytvoriť PR","review.commit.nextSteps.commitAndPush":"Potvrdiť a odoslať","review.commit.nextSteps.prRequiresGh":"Vyžaduje sa GitHub CLI: {command}","review.commit.rows.changes":"Zmeny","review.commit.rows.commitCount":"{count, plural, one {# potvrdenie} few {# potvrdenia} many {# potvrdenia} other {# potvrdení}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# potvrdenie} few {# potvrdenia} many {# potvrdenia} other {# potvrdení}} a {stats}","review.commit.rows.fileCount":"{count, plural, one {# súbor} few {# súbory} many {# súbory} other {# súbory}}","review.commit.state.error.body":"Pri potvrdzovaní sa niekde stala chyba. Skontroluj stav git a skús to znova.","review.commit.state.error.title":"Potvrdenie zlyhalo","review.commit.state.success.title":"Zmeny sa potvrdili","review.commit.untracked.loadingStats":"Načítavajú sa nesledované štatistiky porovnania…","reviewFindingAttachments.count":"{count, plural, one {# nájdenie} few {# nájdenia} many {# nájdenia} other {# nájdení}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Upravíš konfiguráciu a prispôsobíš správanie agenta","settings.agent.configuration.configToml.docs":"Dokumenty","settings.agent.configuration.configToml.restartNote":"Po úprave reštartuj agenta Codex, aby sa prejavili zmeny","settings.agent.configuration.subtitle":"Tieto nastavenia platia všade, kde sa používa agent Codex.","settings.automations.banner.danger":"Automatizácie sú spustené s predvolenými nastaveniami testovacieho prostredia, ktoré sú momentálne nastavené na plný prístup. Spúšťanie automatizácií na pozadí s plným prístupom so sebou prináša zvýšené riziko, pretože agent Codex môže upravovať súbory, spúšťať príkazy a pristupovať k sieti bez opýtania. Zváž aktualizáciu nastavení testovacieho prostredia na zápis do pracovného priestoru a pomocou <rulesDocsLink>pravidiel</rulesDocsLink> selektívne definuj, ktoré príkazy môže agent spúšťať s plným prístupom.","settings.automations.banner.defaultHowTo.default":"Automatizácie sú spustené s predvolenými nastaveniami testovacieho prostredia. Volania nástrojov zlyhajú, ak vyžadujú úpravu súborov mimo pracovného priestoru, prístup k sieti alebo prácu s aplikáciami v počítači. Príkazy na spustenie mimo testovacieho prostredia môžeš selektívne pridať na zoznam povolených príkazov použitím <rulesDocsLink>pravidiel</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatizácie sú spustené s predvolenými nastaveniami testovacieho prostredia, ktoré sú nastavené len na čítanie. Volania nástrojov zlyhajú, ak vyžadujú úpravu súborov, prístup k sieti alebo prácu s aplikáciami v počítači. Zváž aktualizáciu nastavení testovacieho prostredia na zápis do pracovného priestoru.","settings.automations.cancel":"Zrušiť","settings.automations.create":"Vytvoriť","settings.automations.cwdEmpty":"Nie sú k dispozícii žiadne priečinky projektu","settings.automations.cwdLabel":"Projekty","settings.automations.cwdPlaceholder":"Vyber priečinok","settings.automations.cwdSubtitle":"Ak chceš, aby sa automatizácia spúšťala na konkrétnej vetve, môžeš to zadať v príkazovom riadku.","settings.automations.delete":"Odstrániť","settings.automations.dialog.editTitle":"Upraviť automatizáciu","settings.automations.dialog.newTitle":"Nová automatizácia","settings.automations.dialog.subtitle":"Automatizuj opakujúce sa úlohy na pozadí. Agent Codex pridá nájdenia do inboxu alebo automaticky archivuje úlohu, ak nemá čo nahlásiť. <learnMoreLink>Ďalšie informácie</learnMoreLink>","settings.automations.dialog.title":"Vytvoriť automatizáciu","settings.automations.executionCopy.git":"Automatizácie sú spustené na pozadí vo vyhradených pracovných stromoch.","settings.automations.executionCopy.nonGit":"Automatizácie v projektoch bez kontroly verzie sú spustené priamo v adresári projektu. Zváž použitie Git na povolenie spúšťania v pracovných stromoch na pozadí.","settings.automations.executionEnvironment.local":"Lokálne","settings.automations.executionEnvironment.worktree":"Pracovný strom","settings.automations.loading":"Načítava sa…","settings.automations.nameLabel":"Meno","settings.automations.namePlaceholder":"Kontrola problémov Sentry","settings.automations.pause":"Pozastaviť","settings.automations.promptLabel":"Príkaz","settings.automations.promptPlaceholder":"hľadaj zlyhania v $Sentry","settings.automations.resume":"Obnoviť","settings.automations.rruleSummaryFallback":"Vlastný plán","settings.automations.runNow":"Otestovať","settings.automations.save":"Uložiť","settings.automations.scheduleBadge.dayCount":"{count} d","settings.automations.scheduleBadge.interval":"{count} hod","settings.automations.scheduleBadge.weekdays":"Pracovné dni","settings.automations.scheduleBadge.weekends":"Víkendy","settings.automations.scheduleHeader":"Plán","settings.automations.scheduleHours":"hod.","settings.automations.scheduleLabel":"Frekvencia spustenia:","settings.automations.scheduleMode.daily":"Denne","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Typ plánu","settings.automations.scheduleSummary.daily":"Denne o {time}","settings.automations.scheduleSummary.interval":"Každú/-é/-ých {count} hod.","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# deň} few {# dní} many {# dní} other {# dní}}","settings.automations.scheduleSummary.intervalDays":"{interval} v {days}","settings.automations.scheduleSummary.intervalHourly":"Každú hodinu","settings.automations.scheduleSummary.singleDay":"{day} o {time}","settings.automations.scheduleSummary.weekdays":"Cez pracovné dni o {time}","settings.automations.scheduleSummary.weekdaysLabel":"pracovné dni","settings.automations.scheduleSummary.weekends":"Cez víkendy o {time}","settings.automations.scheduleSummary.weekendsLabel":"víkendy","settings.automations.scheduleSummary.weekly":"{days} o {time}","settings.automations.scheduleWeekdays":"Zapnuté","settings.automations.weekdayState.excluded":"Vylúčené","settings.automations.weekdayState.included":"Zahrnuté","settings.conversationDetail.steps":"Kroky","settings.conversationDetail.steps.description":"Skryjú sa príkazy a výstupy","settings.conversationDetail.stepsWithCommands":"Kroky s kódovými príkazmi","settings.conversationDetail.stepsWithCommands.description":"Zobrazia sa príkazy a zbalí sa výstup","settings.conversationDetail.stepsWithOutput":"Kroky s kódovými výstupmi","settings.conversationDetail.stepsWithOutput.description":"Zobrazia sa príkazy a rozbalí sa výstup","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nie sú k dispozícii žiadne archivované čety.","settings.dataControls.archivedChats.error":"Nepodarilo sa načítať archivované čety.","settings.dataControls.archivedChats.loading":"Načítavanie archivovaných četov…","settings.dataControls.archivedChats.unarchive":"Obnoviť z archívu","settings.dataControls.archivedChats.unarchiveError":"Obnovenie četu z archívu zlyhalo","settings.dataControls.archivedChats.unarchiveSuccess":"Vlákno sa obnovilo z archívu. <viewNowLink>Zobraziť teraz</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Nearchivované vlákno.","settings.dataControls.archivedChats.untitled":"Čet bez názvu","settings.dataControls.archivedChats.viewNow":"Zobraziť teraz","settings.editRow.headerPlaceholder":"Kľúč","settings.editRow.removeEntry":"Odstrániť vstup","settings.editRow.valuePlaceholder":"Hodnota","settings.general.appearance":"Vzhľad","settings.general.appearance.codeFont":"Písmo kódu","settings.general.appearance.codeFont.description":"Upraví sa písmo a veľkosť používané pre kód v četoch a rozdieloch","settings.general.appearance.codeFontFamily":"Rodina písma kódu","settings.general.appearance.codeFontSize":"Veľkosť písma kódu","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Okná budú používať plné pozadie namiesto systémovej priehľadnosti","settings.general.appearance.opaqueWindows.label":"Použi nepriehľadné pozadie okna","settings.general.appearance.sansFontFamily":"Rodina písma Sans","settings.general.appearance.sansFontFamily.description":"Uprav použité písmo pre používateľské rozhranie agenta Codex","settings.general.appearance.sansFontSize":"Veľkosť písma Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Zobrazia sa efekty osláv v celom okne, kým GPT-5.3-Codex-Spark spúšťa prvý krok","settings.general.appearance.sparkCelebrationEffects.label":"Efekty iskrivej oslavy","settings.general.appearance.theme":"Motív","settings.general.appearance.theme.dark":"Tmavý","settings.general.appearance.theme.description":"Použije sa svetlá alebo tmavá téma alebo sa téma prispôsobí systému","settings.general.appearance.theme.light":"Svetlý","settings.general.appearance.theme.system":"Systémový","settings.general.appearance.usePointerCursors.description":"Zmení kurzor na ukazovateľ pri podržaní kurzora myši nad interaktívnymi prvkami","settings.general.appearance.usePointerCursors.label":"Používať ukazovatele kurzorov","settings.general.enterBehavior.description":"Ak je povolené, viacriadkové príkazy vyžadujú na odoslanie {modifierSymbol} + Enter.","settings.general.enterBehavior.label":"Vyžaduje {modifierSymbol} + Enter na odoslanie dlhých príkazov","settings.general.experimentalFeatures":"Experimentálne funkcie (beta)","settings.general.experimentalFeatures.empty":"Nie sú k dispozícii žiadne experimentálne funkcie beta.","settings.general.experimentalFeatures.loading":"Načítajú sa experimentálne funkcie…","settings.general.experimentalFeatures.restartNote":"Ak chceš použiť zmeny experimentálnych funkcií, reštartuj Codex","settings.general.experimentalFeatures.toggle":"Prepnúť na {featureName}","settings.general.followUpQueueMode.description":"Daj do fronty ďalšie kroky, kým je spustený agent Codex, alebo riaď aktuálne spustenie. Stlačením tlačidla {invertFollowUpShortcutLabel} vykonáš opak pre jednu správu.","settings.general.followUpQueueMode.interrupt":"Riadiť","settings.general.followUpQueueMode.label":"Správanie sledovania","settings.general.followUpQueueMode.queue":"Front","settings.general.notifications":"Oznámenia","settings.general.power.preventSleepWhileRunning.description":"Udržuj počítač v aktívnom stave, kým agent Codex spúšťa vlákno.","settings.general.power.preventSleepWhileRunning.label":"Zamedz prechodu do režimu spánku počas spúšťania","settings.git.branchPrefix.ariaLabel":"Predpona vetvy","settings.git.branchPrefix.description":"Predpona používaná pri vytváraní nových vetiev v agentovi Codex","settings.git.branchPrefix.label":"Predpona vetvy","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Uloženie predpony vetvy zlyhalo","settings.git.branchPrefix.save.success":"Predpona vetvy sa uložila","settings.git.commitInstructions.ariaLabel":"Pokyny potvrdenia","settings.git.commitInstructions.description":"Pridané do príkazov generovania správy o potvrdení","settings.git.commitInstructions.label":"Pokyny potvrdenia","settings.git.commitInstructions.placeholder":"Pridaj pokyny k správe o potvrdení…","settings.git.commitInstructions.save":"Uložiť","settings.git.commitInstructions.save.error":"Uloženie pokynov k správe o potvrdení zlyhalo","settings.git.commitInstructions.save.success":"Pokyny potvrdenia sa uložili","settings.git.forcePush.ariaLabel":"Vždy vynútiť odoslanie","settings.git.forcePush.description":"Použi --force-with-lease pri odosielaní z agenta Codex","settings.git.forcePush.label":"Vždy vynútiť odoslanie","settings.git.forcePush.save.disabled":"Možnosť Vždy vynútiť odoslanie je zakázaná","settings.git.forcePush.save.enabled":"Možnosť Vždy vynútiť odoslanie je povolená","settings.git.forcePush.save.error":"Uloženie nastavenia vynútenia odoslanie zlyhalo","settings.git.prInstructions.ariaLabel":"Pokyny žiadosti o stiahnutie","settings.git.prInstructions.description":"Pridalo sa k telám žiadostí o stiahnutie vytvoreným agentom Codex","settings.git.prInstructions.label":"Pokyny žiadosti o stiahnutie","settings.git.prInstructions.placeholder":"Pridať pokyny žiadosti o stiahnutie…","settings.git.prInstructions.save":"Uložiť","settings.git.prInstructions.save.error":"Uloženie pokynov žiadosti o stiahnutie zlyhalo","settings.git.prInstructions.save.success":"Pokyny žiadosti o stiahnutie sa uložili","settings.ide.defaultOpenTarget.description":"Miesto, kde sa súbory a priečinky otvárajú predvolene","settings.ide.defaultOpenTarget.label":"Predvolené miesto otvárania","settings.ide.defaultOpenTarget.placeholder":"Nenašli sa žiadne ciele","settings.ide.language.auto":"Automaticky zistiť","settings.ide.language.autoOption":"Automaticky zistiť","settings.ide.language.description":"Jazyk používateľského rozhrania aplikácie","settings.ide.language.label":"Jazyk","settings.ide.language.search":"Hľadať jazyky","settings.layout.actionButton":"Reštartovať rozšírenie","settings.layout.actionTitle":"Nastavenia s akciou","settings.layout.fullWidthTitle":"Nastavenia (celá šírka)","settings.layout.title":"Nastavenia","settings.localEnvironments.actions.add":"Pridať akciu","settings.localEnvironments.actions.add.description":"Vytvor nový príkaz na spustenie z panela s nástrojmi.","settings.localEnvironments.actions.add.save":"Uložiť","settings.localEnvironments.actions.empty":"Pridá sa akcia na spustenie príkazov z lokálneho panela nástrojov.","settings.localEnvironments.actions.icon.debug":"Ladiť","settings.localEnvironments.actions.icon.run":"Spustiť","settings.localEnvironments.actions.icon.test":"Otestovať","settings.localEnvironments.actions.icon.tool":"Nástroj","settings.localEnvironments.actions.item.button.delete":"Odstrániť","settings.localEnvironments.actions.item.command":"Skript akcie","settings.localEnvironments.actions.item.name":"Meno","settings.localEnvironments.actions.item.platforms":"Platformy","settings.localEnvironments.actions.item.platforms.help":"Spúšťa sa len v konkrétnom operačnom systéme.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Výber platformy","settings.localEnvironments.actions.item.platforms.specific":"Špecifické pre platformu","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Odstrániť","settings.localEnvironments.actions.title":"Akcie","settings.localEnvironments.breadcrumb.back":"Späť","settings.localEnvironments.breadcrumb.edit":"upraviť","settings.localEnvironments.breadcrumb.root":"Prostredia","settings.localEnvironments.environment.actions.description":"Tieto akcie môžu spustiť ľubovoľný príkaz a budú zobrazené v hlavičke.","settings.localEnvironments.environment.actionsLabel":"Akcie","settings.localEnvironments.environment.create":"Vytvoriť lokálne prostredie","settings.localEnvironments.environment.defaultName":"lokálne","settings.localEnvironments.environment.edit":"Upraviť lokálne prostredie","settings.localEnvironments.environment.empty":"Pre tento projekt ešte nie je nakonfigurované žiadne lokálne prostredie.","settings.localEnvironments.environment.name":"Meno","settings.localEnvironments.environment.setup":"Inštalačný skript","settings.localEnvironments.environment.setup.description":"Tento skript sa spustí pri vytváraní pracovného stromu.","settings.localEnvironments.environment.setup.hint":"Spúšťa sa v koreni projektu.","settings.localEnvironments.environment.setup.platformOverrides":"Prepísania platformy","settings.localEnvironments.environment.setup.platformOverrides.add":"Pridať inštalačný skript {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Prepíše predvolený skript pre konkrétne operačné systémy.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Odstrániť","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Podrobnosti prostredia","settings.localEnvironments.file.missing":"Uložením vytvoríš tento súbor prvýkrát.","settings.localEnvironments.file.parseError":"Existujúci súbor sa nedá analyzovať. Uložením sa prepíše. ({error})","settings.localEnvironments.file.path":"Súbor: {path}","settings.localEnvironments.file.readError":"Načítanie údajov o lokálnom prostredí zlyhalo. ({error})","settings.localEnvironments.file.title":"Súbor lokálneho prostredia","settings.localEnvironments.loading.body":"Získava sa konfigurácia projektu.","settings.localEnvironments.loading.title":"Načítavajú sa lokálne prostredia","settings.localEnvironments.preview.devOnly":"(len pre VÝVOJ)","settings.localEnvironments.preview.save":"Uložiť","settings.localEnvironments.preview.saveError":"Nepodarilo sa uložiť súbor. ({error})","settings.localEnvironments.preview.title":"Ukážka","settings.localEnvironments.save.disabled.name":"Pridaj názov prostredia na uloženie.","settings.localEnvironments.save.disabled.noChanges":"K dispozícii nie sú žiadne zmeny na uloženie.","settings.localEnvironments.save.disabled.saving":"Ukladá sa…","settings.localEnvironments.save.success":"Lokálne prostredie sa uložilo","settings.localEnvironments.unavailable.body":"Nepodarilo sa načítať nastavenia lokálneho prostredia pre tento projekt.","settings.localEnvironments.unavailable.title":"Lokálne prostredia nie sú k dispozícii","settings.localEnvironments.workspace.add":"Pridať projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Pridať prostredie","settings.localEnvironments.workspaceSelect.description":"Lokálne prostredia vravia agentovi Codex, ako nastaviť pracovné stromy pre projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Zatiaľ nie sú k dispozícii žiadne projekty. Pridaj jeden na konfiguráciu lokálnych prostredí.","settings.localEnvironments.workspaceSelect.errorLabel":"Prostredie si vyžaduje pozornosť","settings.localEnvironments.workspaceSelect.learnMore":"Ďalšie informácie","settings.localEnvironments.workspaceSelect.listLabel":"Dostupné projekty","settings.localEnvironments.workspaceSelect.loading":"Načítavajú sa projekty.","settings.localEnvironments.workspaceSelect.loadingLabel":"Načítava sa prostredie","settings.localEnvironments.workspaceSelect.title":"Vybrať projekt","settings.localEnvironments.workspaceSelect.viewAction":"Zobraziť","settings.mcp.addServer":"Pridať server","settings.mcp.app.configure":"Konfigurovať","settings.mcp.app.connect":"Pripojiť","settings.mcp.apps.refresh":"Obnoviť","settings.mcp.detail.addArgument":"Pridať argument","settings.mcp.detail.addEnvVar":"Pridať premennú prostredia","settings.mcp.detail.addEnvVarPassthrough":"Pridať premennú","settings.mcp.detail.args":"Argumenty","settings.mcp.detail.back":"Späť","settings.mcp.detail.command":"Príkaz na spustenie","settings.mcp.detail.cwd":"Pracovný adresár","settings.mcp.detail.docs":"Otvoriť dokumentáciu MCP","settings.mcp.detail.docs.link":"Dokumenty","settings.mcp.detail.envVarPassthrough":"Prechod premennej prostredia","settings.mcp.detail.envVars":"Premenné prostredia","settings.mcp.detail.http.addEnvHeader":"Pridať premennú","settings.mcp.detail.http.addHeader":"Pridať hlavičku","settings.mcp.detail.http.bearerToken":"Token nositeľa premennej prostredia","settings.mcp.detail.http.envHeaders":"Hlavičky z premenných prostredia","settings.mcp.detail.http.headers":"Hlavičky","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Meno","settings.mcp.detail.save":"Uložiť","settings.mcp.detail.switchTransportNotice":"Ak chceš prepnúť typ servera MCP, najskôr ho odinštaluj.","settings.mcp.detail.titleExisting":"Aktualizovať MCP {name}","settings.mcp.detail.titleNew":"Pripojenie sa k vlastnému MCP","settings.mcp.detail.transport.http":"Streamovateľné HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Odinštalovať","settings.mcp.empty":"Žiadne pripojené vlastné MCP servery","settings.mcp.myServers":"Vlastné servery","settings.mcp.partnerServer.description.figma":"Generuj lepší kód využitím plného kontextu nástroja Figma","settings.mcp.partnerServer.description.github":"Integrácia s API GitHub na automatizáciu pracovných postupov a extrahovanie údajov","settings.mcp.partnerServer.description.linear":"Integrácia so sledovaním problémov a riadením projektov platformy Linear","settings.mcp.partnerServer.description.notion":"Čítanie dokumentov, aktualizovanie stránok a spravovanie úloh","settings.mcp.partnerServer.description.playwright":"Integruj automatizáciu prehliadača na implementáciu dizajnu a testovanie používateľského rozhrania.","settings.mcp.partnerServer.install":"Inštalovať","settings.mcp.partnerServer.installAndAuthenticate":"Inštalovať a overiť","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Spravovať","settings.mcp.partnerServer.vendor":"Autor: {vendor}","settings.mcp.recommendedServers":"Odporúčané servery","settings.mcp.restartApp":"Reštartovať","settings.mcp.restartExtension":"Reštartovať rozšírenie","settings.mcp.server.enable":"Povoliť","settings.mcp.server.login":"Overiť","settings.mcp.server.settings":"Nastavenia","settings.multiselect.createOption":"Vytvoriť {value}","settings.multiselect.removeOption":"Odstrániť","settings.nav.account":"Účet","settings.nav.agent":"Konfigurácia","settings.nav.ariaLabel":"Nastavenia","settings.nav.back":"Späť do aplikácie","settings.nav.data-controls":"Archivované vlákna","settings.nav.environments":"Cloudové prostredia","settings.nav.externalTooltip":"[alpha] Otvorí sa v prehliadači","settings.nav.general-settings":"Všeobecné","settings.nav.git-settings":"Git","settings.nav.local-environments":"Prostredia","settings.nav.mcp-settings":"Servery MCP","settings.nav.notImplemented":"[alpha] Nedostupné vo funkcii Alpha","settings.nav.personalization":"Prispôsobenie","settings.nav.skills-settings":"Zručnosti","settings.nav.usage-analytics":"Používanie a analytika","settings.nav.worktrees":"Pracovné stromy","settings.openSourceLicenses.back":"Späť","settings.openSourceLicenses.loading":"Načítava sa…","settings.openSourceLicenses.missing":"Nenašli sa žiadne oznámenia tretích strán.","settings.openSourceLicenses.notSupported":"Nie je k dispozícii v tomto hostiteľovi.","settings.openSourceLicenses.rowDescription":"Oznámenia tretích strán týkajúce sa zväzkových závislostí","settings.openSourceLicenses.rowLabel":"Licencie s otvoreným zdrojovým kódom","settings.openSourceLicenses.subtitle":"Oznámenia tretích strán týkajúce sa závislostí zahrnutých v tejto aplikácii","settings.openSourceLicenses.title":"Licencie s otvoreným zdrojovým kódom","settings.openSourceLicenses.view":"Zobraziť","settings.personalization.agents.description":"Uprav pokyny, ktoré prispôsobia agenta Codex tvojim potrebám. {learnMore}","settings.personalization.agents.learnMore":"Ďalšie informácie","settings.personalization.agents.loadError":"Nepodarilo sa načítať súbor agents.md","settings.personalization.agents.loading":"Načítava sa súbor agents.md…","settings.personalization.agents.placeholder":"Pridať vlastné pokyny…","settings.personalization.agents.retry":"Skúsiť znova","settings.personalization.agents.save":"Uložiť","settings.personalization.agents.save.error":"Nepodarilo sa uložiť súbor agents.md","settings.personalization.agents.save.success":"Súbor agents.md sa uložil","settings.personalization.agents.title":"Vlastné pokyny","settings.personalization.personality.description":"Vyber predvolený tón pre odpovede agenta Codex","settings.personalization.personality.label":"Osobnosť","settings.sample.contentBody":"Použi toto rozloženie na zostavenie panelov nastavení s konzistentnými rozostupmi.","settings.sample.contentTitle":"Blok vzorky obsahu","settings.section.account":"Účet","settings.section.agent":"Konfigurácia","settings.section.data-controls":"Archivované vlákna","settings.section.environments":"Cloudové prostredia","settings.section.external":"Otvorí sa v prehliadači počas funkcie Alpha","settings.section.general-settings":"Všeobecné","settings.section.git-settings":"Git","settings.section.local-environments":"Prostredia","settings.section.mcp-settings":"Servery MCP","settings.section.mcp-settings.docs":"Dokumenty","settings.section.mcp-settings.subtitle":"Pripoja sa externé nástroje a zdroje údajov.","settings.section.personalization":"Prispôsobenie","settings.section.skills-settings":"Zručnosti","settings.section.unavailable":"Zatiaľ nedostupné vo funkcii Alpha","settings.section.usage-analytics":"Používanie a analytika","settings.section.worktrees":"Pracovné stromy","settings.threadDetail.description":"Vyber, koľko výstupov príkazu sa má zobraziť vo vláknach","settings.threadDetail.label":"Podrobnosti o vlákne","settings.worktrees.conversation.untitled":"Konverzácia bez názvu","settings.worktrees.delete.error":"Odstránenie pracovného stromu zlyhalo","settings.worktrees.empty.body":"Tu sa zobrazia pracovné stromy vytvorené agentom Codex.","settings.worktrees.empty.title":"Zatiaľ žiadne pracovné stromy","settings.worktrees.error.body":"Počas načítania pracovných stromov sa niekde stala chyba.","settings.worktrees.error.retry":"Skúsiť znova","settings.worktrees.error.title":"Nepodarilo sa načítať pracovné stromy","settings.worktrees.loading.body":"Získavajú sa podrobnosti o pracovnom strome.","settings.worktrees.loading.title":"Načítavajú sa pracovné stromy","settings.worktrees.repository.loading":"Načítavajú sa metaúdaje odkladacieho priestoru…","settings.worktrees.repository.unknown":"Neznámy odkladací priestor","settings.worktrees.row.conversations":"Konverzácie","settings.worktrees.row.conversations.empty":"S týmto pracovným stromom nie sú prepojené žiadne konverzácie.","settings.worktrees.row.conversations.loading":"Načítavajú sa konverzácie...","settings.worktrees.row.delete":"Odstrániť","settings.worktrees.row.title":"Pracovný strom","sidebarElectron.addWorkspaceRoot":"Pridať nový projekt","sidebarElectron.archiveThread":"Archivovať vlákno","sidebarElectron.archiveThreadError":"Archivácia vlákna zlyhala","sidebarElectron.collapseFolder":"Zbaliť priečinok","sidebarElectron.createStableWorktree.dialog.cancel":"Zrušiť","sidebarElectron.createStableWorktree.dialog.create":"Vytvoriť","sidebarElectron.debugNavLink":"Ladiť","sidebarElectron.editWorkspaceRootOptionName":"Upraviť názov","sidebarElectron.expandFolder":"Rozbaliť priečinok","sidebarElectron.groupByMenu.recency":"Chronologický zoznam","sidebarElectron.groupByMenu.title":"Organizovať","sidebarElectron.groupByMenu.workspace":"Podľa projektu","sidebarElectron.inboxRouteNavLink":"Automatizácie","sidebarElectron.markThreadUnread":"Označiť ako neprečítané","sidebarElectron.missingWorkspaceRoot":"Tento priečinok projektu sa odstránil alebo presunul","sidebarElectron.newThread":"Nové vlákno","sidebarElectron.newThreadInGroup":"Začať nové vlákno v priečinku {folder}","sidebarElectron.noRecentThreads":"Žiadne nedávne vlákna","sidebarElectron.noTasks":"Žiadne vlákna","sidebarElectron.noTasks.start":"Pridať nový projekt","sidebarElectron.noTasksWithFilter":"Filtrom nezodpovedajú žiadne vlákna","sidebarElectron.pinnedThreads":"Pripnuté vlákna","sidebarElectron.recentNavLink":"Vlákna","sidebarElectron.recentThreads":"Nedávne vlákna","sidebarElectron.removeWorkspaceRootOption":"Odstrániť","sidebarElectron.renameThread":"Premenovať vlákno","sidebarElectron.renameThreadDialogAriaLabel":"Názov vlákna","sidebarElectron.renameThreadDialogCancel":"Zrušiť","sidebarElectron.renameThreadDialogPlaceholder":"Pridaj názov…","sidebarElectron.renameThreadDialogSave":"Uložiť","sidebarElectron.renameThreadDialogSubtitle":"Nech je krátky a rozpoznateľný.","sidebarElectron.renameThreadDialogTitle":"Premenovať vlákno","sidebarElectron.renameThreadError":"Premenovanie vlákna zlyhalo","sidebarElectron.renameWorkspaceRootOptionLabel":"Zobrazovaný názov","sidebarElectron.showLess":"Zobraziť menej","sidebarElectron.showMenu.all":"Všetky vlákna","sidebarElectron.showMenu.relevant":"Relevantné","sidebarElectron.showMenu.relevantHint":"Zobraziť iba najnovšie vlákna pre aktuálnu vetvu, pracovné stromy alebo iné vlákna vyžadujúce tvoju pozornosť","sidebarElectron.showMenu.title":"Zobraziť","sidebarElectron.showMenu.tooltip":"Filtrovať, zoradiť a usporiadať vlákna","sidebarElectron.showMenu.trigger":"Filtrovať vlákna bočného panela","sidebarElectron.showMore":"Zobraziť viac","sidebarElectron.skillsRouteNavLink":"Zručnosti","sidebarElectron.sortMenu.created":"Vytvorené","sidebarElectron.sortMenu.title":"Usporiadať podľa","sidebarElectron.sortMenu.updated":"Aktualizované","sidebarElectron.taskNavigation":"Priečinky automatizácie","sidebarElectron.tasksInFolder":"Automatizácie v priečinku {folder}","sidebarElectron.workspaceOptions":"Akcie projektu pre {folder}","sidebarElectron.worktreeGroupTooltip":"Toto je pracovný strom git","skills.appsPage.createSkill":"Nová zručnosť","skills.appsPage.empty.skills":"Nenašli sa žiadne zručnosti","skills.appsPage.search.skills":"Hľadať zručnosti","skills.appsPage.search.skills.label":"Hľadať zručnosti","skills.appsPage.section.installedApps":"Nainštalované","skills.appsPage.section.skills":"Zručnosti","skills.appsPage.subheading":"Daj agentovi Codex superschopnosti. <link>Ďalšie informácie</link>","skills.appsPage.tab.recommended":"Odporúčané","skills.appsPage.tab.skills":"Zručnosti","skills.card.contentsError":"Nepodarilo sa načítať obsahy zručnosti.","skills.card.disable":"Zakázať","skills.card.disableSuccess":"Zručnosť {skillName} sa zakázala","skills.card.disabledBadge":"Zakázané","skills.card.enable":"Povoliť","skills.card.enableSuccess":"Zručnosť {skillName} sa povolila","skills.card.loadingContents":"Načítavajú sa obsahy zručnosti...","skills.card.more":"Ďalšie akcie","skills.card.open":"Otvoriť","skills.card.removeFailed":"Odinštalovanie zručnosti zlyhalo","skills.card.removeSuccess":"Zručnosť {skillName} sa odinštalovala","skills.card.toggleEnabledError":"Aktualizácia zručnosti zlyhala","skills.card.try":"Vyskúšaj to","skills.card.trySkill":"Vyskúšať zručnosť","skills.card.uninstall":"Odinštalovať","skills.hero.dotLabel":"Prejsť na snímku {index}","skills.hero.next":"Ďalšia odporúčaná zručnosť","skills.hero.trySkill":"Vyskúšať zručnosť","skills.page.createSkill":"Nová zručnosť","skills.page.empty":"Nenašli sa žiadne zručnosti","skills.page.filteredEmpty":"Filtrom nevyhovujú žiadne zručnosti","skills.page.filteredEmptyDescription":"Skús upraviť filtre vyhľadávania alebo rozsahu","skills.page.heading":"Zručnosti","skills.page.loading":"Načítavajú sa zručnosti...","skills.page.refreshSkills":"Obnoviť","skills.page.refreshSkillsToUseNew":"Obnoviť pre použitie nových zručností","skills.page.search":"Hľadať zručnosti","skills.page.search.label":"Hľadať zručnosti","skills.page.subheading":"Daj agentovi Codex superschopnosti. <link>Ďalšie informácie</link>","skills.preview.copyPrompt":"Kopírovať príkaz","skills.preview.examplePrompt":"Vzorový príkaz","skills.recommended.error":"Nepodarilo sa načítať odporúčané zručnosti","skills.recommended.install":"Inštalovať","skills.recommended.installSkill":"Inštalovať zručnosť","skills.recommended.installSuccess":"Zručnosť {skillName} sa nainštalovala","skills.recommended.installed":"Nainštalované","skills.scope.admin":"Správca","skills.scope.adminInstalled":"Nainštalované správcom","skills.scope.builtIn":"Systémový","skills.scope.personal":"Personal","skills.scope.repo":"Odkladací priestor","skills.scope.system":"Systémový","skills.scope.team":"Team","skills.scope.user":"Používateľ","skills.section.installed":"Nainštalované","skills.section.recommended":"Odporúčané","story.slidingToggle.existing":"Existujúce","story.slidingToggle.fromLocal":"Z lokálneho","story.slidingToggle.new":"Nové","story.slidingToggle.toLocal":"Do lokálneho","terminal.close":"Zatvoriť terminál","terminal.title":"Terminál","thinkingShimmer.default":"Rozmýšľam","threadEnvIcon.cloudTooltip":"Táto konverzácia prebieha v Codex Cloud.","threadEnvIcon.localTooltip":"Táto konverzácia prebieha lokálne.","threadEnvIcon.worktreeTooltip":"Táto konverzácia prebieha v lokálnom pracovnom strome git.","threadHeader.archiveConfirmCancel":"Zrušiť","threadHeader.archiveConfirmConfirm":"Archivovať","threadHeader.archiveConfirmSubtitle":"Nájdeš ho neskôr vo svojich archivovaných vláknach.","threadHeader.archiveConfirmTitle":"Archivovať vlákno?","threadHeader.copyAppLink":"Skopírovať deeplink","threadHeader.copySessionId":"Skopírovať ID relácie","threadHeader.copyWorkingDirectory":"Skopírovať pracovný adresár","threadHeader.forkIntoLocal":"Rozvetviť lokálne","threadHeader.forkIntoWorktree":"Rozvetviť v novom pracovnom strome","threadHeader.forkPendingWorktreePrompt":"Rozvetviť túto konverzáciu v novom pracovnom strome","threadHeader.forkPendingWorktreeTitle":"Rozvetvená konverzácia","threadHeader.forkThreadError":"Rozvetvenie vlákna zlyhalo","threadHeader.forkThreadRequiresGitRepo":"Rozvetvenie v novom pracovnom strome vyžaduje odkladací priestor git","threadHeader.moreActions":"Akcie vlákna","threadPage.newThread":"Nové vlákno","threadPage.runAction.changeEnvironment":"Zmeniť prostredie","threadPage.runAction.dropdown.titleWithEnvironment":"Akcie: {environmentName}","threadPage.runAction.environmentSelector.label":"Vybrať prostredie","threadPage.runAction.label":"Spustiť","threadPage.runAction.missing.label":"Nastavenie akcie spustenia","threadPage.runAction.setup.commandLabel":"Príkaz na spustenie","threadPage.runAction.setup.description":"Povedz agentovi Codex, ako nainštalovať závislosti a spustiť aplikáciu.","threadPage.runAction.setup.editMore":"Nastavenia prostredia","threadPage.runAction.setup.placeholder":"Príklad: inštalovať npm spustiť npm","threadPage.runAction.setup.submit":"Uložiť a spustiť","threadPage.runAction.setup.title":"Spustiť","threadPage.runAction.tooltip.withEnvironment":"Akcie: {environmentName}","threadPage.toggleDiffPanel":"Prepnúť panel rozdielov","threadPage.toggleTerminal":"Prepnúť terminál","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Otvoriť priečinok","toolSummaryForCmd.exploredFiles":"<verb>Uvedené</verb> súbory","toolSummaryForCmd.exploredFilesInPath":"<verb>Uvedené</verb> súbory v {path}","toolSummaryForCmd.exploringFiles":"<verb>Uvádzajú sa</verb> súbory","toolSummaryForCmd.exploringFilesInPath":"<verb>Uvádzajú sa</verb> súbory v {path}","toolSummaryForCmd.ranGenericCommand":"<status>Spustený príkaz</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Spustilo sa </status> {command}{timer}","toolSummaryForCmd.read":"<verb>Prečítať</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Spúšťa sa príkaz</status>{timer}","toolSummaryForCmd.runningTimer":"pre {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Hľadal sa</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Hľadali sa</verb> súbory","toolSummaryForCmd.searchedForInPath":"<verb>Hľadal sa</verb> {query} v {path}","toolSummaryForCmd.searchingFor":"<verb>Hľadá sa</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Hľadajú sa</verb> súbory","toolSummaryForCmd.searchingForInPath":"<verb>Hľadá sa</verb> {query} v {path}","traceRecording.details.noteLabel":"Čo si robil/-a, keď sa to stalo? (voliteľné)","traceRecording.details.notePlaceholder":"Prešiel/-a som do veľkého vlákna a následne opakovane prepínal/-a karty...","traceRecording.details.submit":"Odoslať stopu","traceRecording.details.subtitle":"Môžeme odoslať stopu tohto profilu v rámci pomoci s diagnostikovaním problémov s výkonom.","traceRecording.details.title":"Odoslať stopu profilu?","traceRecording.progress.subtitle":"Ponechaj agenta Codex otvoreného, kým sa to dokončí.","traceRecording.saving.title":"Ukladá sa stopa…","traceRecording.startDetails.cancel":"Zrušiť","traceRecording.startDetails.submit":"OK, spustiť nahrávanie","traceRecording.startDetails.subtitle":"Po kliknutí na tlačidlo OK zopakuj problém s výkonom a následne kliknutím na vznášajúci sa červený indikátor zastav a skontroluj stopu.","traceRecording.startDetails.title":"Ako funguje nahrávanie stopy","traceRecording.stopButton.ariaLabel":"Zastaviť nahrávanie stopy","traceRecording.upload.successToast":"Stopa profilu sa odoslala.","traceRecording.uploading.title":"Nahráva sa stopa…","wham.diff.addComment":"Pridať komentár","wham.diff.binaryFile":"Binárny súbor nie je zobrazený","wham.diff.noContent":"Žiadny obsah","wham.fileTag.deleted":"Odstránené","wham.fileTag.new":"Nové","wham.formattedRelativeDateTime.compactDaysAgo":"{value} d","wham.formattedRelativeDateTime.compactHoursAgo":"{value} hod","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mes.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} t.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} r.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Pracujem na tvojej úlohe","wham.whamProposedTask.title":"Navrhovaná úloha","wham.whamProposedTask.useSuggestion":"Použiť návrh","workspaceRootDialog.addError":"Pridanie projektu zlyhalo","workspaceRootDialog.cancel":"Zrušiť","workspaceRootDialog.confirmAdd":"Pridať projekt","workspaceRootDialog.confirmPick":"Použiť projekt","workspaceRootDialog.description":"Zadaj cestu v {host} pre použitie ako projekt.","workspaceRootDialog.pathLabel":"Cesta projektu","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Pridaj cestu projektu","workspaceRootDialog.title.pick":"Vyber cestu projektu","worktreeInitV2.cancel":"Zrušiť","worktreeInitV2.notification.failedTitle":"Nastavenie pracovného stromu zlyhalo","worktreeInitV2.output.empty":"Čaká sa na výstup...","worktreeInitV2.status.error":"Nastavenie pracovného stromu zlyhalo.","worktreeInitV2.status.running":"Vytvára sa pracovný strom a spúšťa nastavenie.","worktreeInitV2.status.runningFork":"Vytvára sa pracovný strom na rozvetvenie tejto konverzácie.","worktreeInitV2.status.success":"Pracovný strom je pripravený.","worktreeInitV2.title":"Vytvára sa pracovný strom","worktreeInitV2.workLocallyInstead":"Pracovať namiesto toho lokálne","worktreeRestoreBanner.body":"Pracovný strom tohto vlákna sa odstránil z dôvodu úspory miesta na disku","worktreeRestoreBanner.missing.body":"Pracovný adresár tohto vlákna už neexistuje","worktreeRestoreBanner.missing.title":"Chýba aktuálny pracovný adresár","worktreeRestoreBanner.restore.error":"Obnovenie pracovného stromu zlyhalo: {message}","worktreeRestoreBanner.restore.success":"Pracovný strom sa obnovil","worktreeRestoreBanner.restoreCta":"Obnoviť pracovný strom","worktreeRestoreBanner.title":"Pracovný strom sa vyčistil"};Object.assign(e,globalThis.codexI18nOverrides?.["sk-SK"]);export{e as default};
 //# sourceMappingURL=sk-SK-9wY74PEq.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopiraj","app.sidebar.hide":"Skrij stransko vrstico","app.sidebar.show":"Prikaži stransko vrstico","app.sidebar.tooltip":"Preklopi stransko vrstico","appHeader.installUpdate":"Posodobi","appSunset.body":"Ta različica aplikacije ni več podprta. Prenesite najnovejšo različico <here>tukaj</here>.","appSunset.title":"Zahtevana je posodobitev","automation.updateDirective.create":"Ustvari","automation.updateDirective.open":"Odpri","automation.updateDirective.untitled":"Avtomatizacija brez naslova","automation.updateDirective.update":"Posodobi","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# poskus} two {# poskusa} few {# poskusi} other {# poskusov}}","cloudTaskRow.archiveError":"Naloge ni bilo mogoče arhivirati","code.diff.requestChange":"Zahtevajte spremembo","code.diffComment.cancel":"Prekliči","code.diffComment.comment":"Komentar","code.diffComment.delete":"Izbriši","code.diffComment.save":"Shrani","codeReviewAssistant.location":"{file}: {start}–{end}","codeReviewAssistant.noFindings":"Ni poročila o izsledkih.","codex.alert.closeAriaLabel":"Zapri","codex.appUpsellBanner.cbpApi.message":"Delajte hitreje z aplikacijo Codex. Prenesite jo zdaj ali {learnMoreLink}.","codex.appUpsellBanner.download":"Prenesi","codex.appUpsellBanner.freeGo.message":"Codex je vključen v vaš naročniški paket do 2. marca. Preizkusite aplikacijo Codex za hitrejše delo.","codex.appUpsellBanner.later":"Pozneje","codex.appUpsellBanner.learnMoreLowercase":"izvedite več","codex.appUpsellBanner.new":"Novo","codex.appUpsellBanner.proPlusBusiness.message":"Preizkusite aplikacijo Codex z 2× manjšimi omejitvami uporabe do 2. aprila. Prenesite jo zdaj ali {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikacija Codex","codex.applyDropdown.header.changes":"Spremembe","codex.applyDropdown.header.fileCount":"{count, plural, one {Raziskana je bila # datoteka} two {Raziskanih je bilo # datotek} few {Raziskanih je bilo # datotek} other {Raziskanih je bilo # datotek}}","codex.applyDropdown.header.rows":"vrstic","codex.applyDropdown.header.title":"Uveljavi spremembe","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 datoteka je v konfliktu:} two {{count} datoteki sta v konfliktu:} few {{count} datoteke so v konfliktu:} other {{count} datotek je v konfliktu:}}","codex.applyDropdown.results.empty":"Nobena datoteka ni bila kopirana","codex.applyDropdown.results.skipped":"{count, plural, one {1 datoteka je bila preskočena:} two {{count} datoteki sta bili preskočeni:} few {{count} datoteke so bile preskočene:} other {{count} datotek je bilo preskočenih:}}","codex.applyOrRevertBanner.apply":"Uporabi","codex.applyOrRevertBanner.applyMessage":"Želite uporabiti spremembe in nadaljevati lokalno?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ta naloga je bila narejena v {environment}, zato je morda ne bo mogoče uporabiti brez težav.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Spremembe so bile narejene v {environment}, zato jih morda ne bo mogoče uporabiti brez težav.","codex.applyOrRevertBanner.reapply":"Uveljavi","codex.applyOrRevertBanner.revert":"Razveljavi","codex.applyOrRevertBanner.revertMessage":"Želite razveljaviti uporabljene spremembe?","codex.applyResultsDialog.applied":"Uporabljeno brez težav ({count})","codex.applyResultsDialog.close":"Zapri","codex.applyResultsDialog.conflicted":"V konfliktu ({count})","codex.applyResultsDialog.noDetails":"Podrobnosti o datoteki niso na voljo.","codex.applyResultsDialog.skipped":"Preskočeno ({count})","codex.applyResultsDialog.title":"Uporabite rezultate","codex.archiveInfo":"Oglejte si arhivirane klepete v {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Nadzor podatkov","codex.archiveInfo.electron":"Oglejte si arhivirane klepete v {settingsLink}.","codex.archiveInfo.extension":"Oglejte si arhivirane klepete v mapi .codex.","codex.archiveInfo.settingsLink":"Nastavitve","codex.banner.content.description":"Vzporedno izvajajte naloge, spremljajte napredek kjerkoli in pregledujte zahteve za združitev kode z umetno inteligenco.","codex.banner.content.headline":"Codex zna vse.","codex.cloudTaskRow.archiveTask":"Arhiviraj nalogo","codex.cloudTaskRow.confirmArchiveTask":"Potrdi","codex.command.feedback":"Povratne informacije","codex.command.findInThread":"Poišči","codex.command.forceReloadSkills":"Prisilno znova naloži spretnosti","codex.command.logOut":"Odjava","codex.command.manageTasks":"Upravljaj naloge","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Nazaj","codex.command.navigateForward":"Naprej","codex.command.newThread":"Nov pogovor","codex.command.nextThread":"Naslednji pogovor","codex.command.openFolder":"Odpri mapo","codex.command.openSkills":"Pojdi na spretnosti","codex.command.openThreadOverlay":"Odpri pogovor","codex.command.personalitySettings":"Osebnost","codex.command.previousThread":"Prejšnji pogovor","codex.command.settings":"Nastavitve","codex.command.toggleDiffPanel":"Preklopi ploščo za primerjavo razlik","codex.command.toggleSidebar":"Preklopi stransko vrstico","codex.command.toggleTerminal":"Preklopi terminal","codex.commandGroup.app":"Aplikacija","codex.commandGroup.configure":"Konfiguracija","codex.commandGroup.navigation":"Navigacija","codex.commandGroup.panels":"Plošče","codex.commandGroup.skills":"Spretnosti","codex.commandGroup.thread":"Pogovor","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Ni zadetkov","codex.commandMenu.searchPlaceholder":"Iskalni ukazi","codex.commandMenu.suggestedGroup":"Priporočeno","codex.commandMenu.switchWorkspace":"Preklopi projekt","codex.commandMenu.title":"Ukazni meni","codex.common.retry":"Poskusi znova","codex.composer.searchBranches":"Iščite po vejah","codex.dialog.basic.body":"To je preprosto modalno pogovorno okno, ki uporablja naš ovoj okoli Radix Dialog.","codex.dialog.basic.cancel":"Prekliči","codex.dialog.basic.confirm":"Potrdi","codex.dialog.basic.open":"Odpri pogovorno okno","codex.dialog.basic.title":"Vzorčno pogovorno okno","codex.dialog.long.close":"Zapri","codex.dialog.long.line":"Pomikajoča se vrstica {index} za prikaz dolge vsebine v pogovornem oknu.","codex.dialog.long.open":"Odpri dolgo pogovorno okno","codex.dialog.long.title":"Pogovorno okno z dolgo vsebino","codex.dialog.unstyled.body":"Ta primer prikazuje, kako lahko uporabniki komponente popolnoma prilagodijo oblikovanje vsebine pogovornega okna.","codex.dialog.unstyled.open":"Odpri neoblikovano pogovorno okno","codex.dialog.unstyled.title":"Neoblikovana vsebina","codex.diff.openInEditorPrompt.openButton":"Odpri v urejevalniku","codex.diff.openInEditorPrompt.singleLine":"Datoteka je prevelika za prikaz.","codex.diffView.failedToDecodeBase64Diff":"Dekodiranje razlike v base64 ni uspelo","codex.diffView.filesChanged":"{fileCount, plural, one {# spremenjena datoteka} two {# spremenjeni datoteki} few {# spremenjene datoteke} other {# spremenjenih datotek}}","codex.diffView.imagePreviewAlt":"Predogled slike","codex.diffView.imagePreviewEmpty":"Brez slike","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"–{linesDeleted}","codex.diffView.noDiffData":"Ni razlik","codex.diffView.pdfPreview.nextPage":"Naslednja stran","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Prejšnja stran","codex.diffView.pdfPreviewEmpty":"Ni predogleda PDF-ja","codex.diffView.pdfPreviewError":"Predogleda PDF-ja ni mogoče prikazati","codex.diffView.richPreviewDisable":"Onemogoči obogaten predogled","codex.diffView.richPreviewEnable":"Omogoči obogaten predogled","codex.diffView.richPreviewLoading":"Nalaganje predogleda …","codex.diffView.richPreviewToggle":"Preklopi obogaten predogled","codex.diffView.switchToUnified":"Združeni prikaz","codex.environmentSelector.noEnvironment":"Ni okolij","codex.environments.environmentSettings":"Nastavitev okolja","codex.environments.learnMore":"Izvedite več","codex.environments.listError":"Okolij ni bilo mogoče naložiti.","codex.environments.noEnvironmentsFound":"Okolij ni bilo mogoče najti","codex.environments.searchError":"Iskanje okolij ni uspelo.","codex.errorBoundary.genericError":"Ups, prišlo je do napake","codex.errorBoundary.goHome":"Poskusi znova","codex.file.patch.missing":"Za to datoteko ni mogoče zgraditi popravka.","codex.gallery.automations.cwdLabel":"Projekti","codex.gallery.automations.nameLabel":"Ime","codex.gallery.automations.namePlaceholder":"Povzetek naloge","codex.gallery.automations.promptLabel":"Poziv","codex.gallery.automations.promptPlaceholder":"Opišite, kaj naj Codex naredi","codex.gallery.dialogs.automation.label":"Pogovorno okno za avtomatizacijo","codex.gallery.dialogs.basic.body":"To postavitev uporabite za preproste potrditve ali kratke obrazce.","codex.gallery.dialogs.basic.cancel":"Prekliči","codex.gallery.dialogs.basic.confirm":"Potrdi","codex.gallery.dialogs.basic.label":"Osnovno pogovorno okno","codex.gallery.dialogs.basic.title":"Vzorčno pogovorno okno","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Opišite težavo","codex.gallery.dialogs.feedbackSubmission.bad":"Slab rezultat","codex.gallery.dialogs.feedbackSubmission.bug":"Napaka","codex.gallery.dialogs.feedbackSubmission.good":"Dober rezultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Vključi trenutne dnevnike sej Codexa","codex.gallery.dialogs.feedbackSubmission.label":"Pošiljanje povratnih informacij","codex.gallery.dialogs.feedbackSubmission.other":"Drugo","codex.gallery.dialogs.feedbackSubmission.placeholder":"Opišite težavo tukaj","codex.gallery.dialogs.feedbackSubmission.submit":"Oddaj","codex.gallery.dialogs.feedbackSubmission.title":"Povratne informacije","codex.gallery.dialogs.feedbackSuccess.body":"Povratne informacije so bile naložene. Če težave ni mogoče odpraviti, odprite težavo na GitHubu ali omenite ID pogovora v obstoječi odprti težavi:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Zavrni","codex.gallery.dialogs.feedbackSuccess.label":"Uspešno poslane povratne informacije","codex.gallery.dialogs.feedbackSuccess.title":"Povratne informacije so bile naložene","codex.gallery.dialogs.gitApplyResults.applied":"Uporabljeno brez težav (2)","codex.gallery.dialogs.gitApplyResults.close":"Zapri","codex.gallery.dialogs.gitApplyResults.conflicted":"V konfliktu (1)","codex.gallery.dialogs.gitApplyResults.label":"Uporabite rezultate","codex.gallery.dialogs.gitApplyResults.title":"Uporabite rezultate","codex.gallery.dialogs.gitPushError.body":"Prenesite najnovejše spremembe s strežnika ali uporabite prisilno pošiljanje sprememb, če mislite, da je varno prepisati zgodovino na strežniku.","codex.gallery.dialogs.gitPushError.cancel":"Prekliči","codex.gallery.dialogs.gitPushError.force":"Prisilno pošlji spremembe","codex.gallery.dialogs.gitPushError.label":"Napaka pošiljanja sprememb","codex.gallery.dialogs.gitPushError.subtitle":"Vaša veja je za vejo origin/main.","codex.gallery.dialogs.gitPushError.title":"Sprememb ni bilo mogoče poslati","codex.gallery.dialogs.gitRevert.cancel":"Prekliči","codex.gallery.dialogs.gitRevert.confirm":"Razveljavi","codex.gallery.dialogs.gitRevert.label":"Razveljavi spremembe","codex.gallery.dialogs.gitRevert.skip":"Ne sprašuj več","codex.gallery.dialogs.gitRevert.subtitle":"S tem dejanjem boste odstranili vse te spremembe.","codex.gallery.dialogs.gitRevert.title":"Želite razveljaviti spremembe?","codex.gallery.dialogs.longForm.label":"Dolgo pogovorno okno","codex.gallery.dialogs.proseModal.body":"Ta modalni slog se uporablja za daljša navodila, uvajanje ali bloke z bogato vsebino.","codex.gallery.dialogs.proseModal.close":"Zapri","codex.gallery.dialogs.proseModal.subtitle":"Tukaj delite daljša navodila ali dokumentacijo.","codex.gallery.dialogs.proseModal.title":"Prozni modal","codex.gallery.dialogs.submitBlocked.label":"Pošiljanje je blokirano","codex.gallery.dialogs.submitBlocked.message":"Vašega sporočila ni bilo mogoče poslati, ker projekt ni na voljo.","codex.gallery.dialogs.submitBlocked.ok":"V redu","codex.gallery.dialogs.submitBlocked.title":"Sporočila ni bilo mogoče poslati","codex.gallery.dialogs.title":"Pogovorna okna","codex.gallery.dropdown.filterPlaceholder":"Filtriraj elemente","codex.gallery.dropdowns.actionRow":"Vrstice dejanj","codex.gallery.dropdowns.actionRow.disabled":"Onemogočeno dejanje","codex.gallery.dropdowns.actionRow.primary":"Primarno dejanje","codex.gallery.dropdowns.actionRow.secondary":"Sekundarno dejanje","codex.gallery.dropdowns.actionRow.trigger":"Prikaži dejanja","codex.gallery.dropdowns.basic":"Osnovni spustni meni","codex.gallery.dropdowns.basic.newFile":"Nova datoteka","codex.gallery.dropdowns.basic.newFolder":"Nova mapa","codex.gallery.dropdowns.basic.openSettings":"Odpri nastavitve","codex.gallery.dropdowns.basic.title":"Hitra dejanja","codex.gallery.dropdowns.basic.trigger":"Odpri meni","codex.gallery.dropdowns.basic.upload":"Naloži","codex.gallery.dropdowns.panel":"Površina plošče","codex.gallery.dropdowns.panel.apply":"Uporabi","codex.gallery.dropdowns.panel.body":"Preglejte razlike in jih uporabite v svojem projektu.","codex.gallery.dropdowns.panel.preview":"Predogled","codex.gallery.dropdowns.panel.title":"Uveljavi spremembe","codex.gallery.dropdowns.panel.trigger":"Odpri ploščo","codex.gallery.dropdowns.search":"Iskalni spustni meni","codex.gallery.dropdowns.search.first":"Alfa kanal","codex.gallery.dropdowns.search.second":"Beta veja","codex.gallery.dropdowns.search.third":"Kandidat za izdajo","codex.gallery.dropdowns.search.trigger":"Filtriraj elemente","codex.gallery.dropdowns.submenu":"Spustni meni s podmenijem","codex.gallery.dropdowns.submenu.optionA":"Projekt alfa","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gama","codex.gallery.dropdowns.submenu.primary":"Dodeli lastnika","codex.gallery.dropdowns.submenu.secondary":"Premakni v","codex.gallery.dropdowns.submenu.tertiary":"Arhiviraj","codex.gallery.dropdowns.submenu.trigger":"Izberi dejanje","codex.gallery.dropdowns.title":"Spustni meniji","codex.gallery.inbox.automations.close":"Zapri","codex.gallery.inbox.automations.popover.cardTitle":"Upravljanje avtomatizacij","codex.gallery.inbox.automations.popover.dialogTitle":"Upravljanje avtomatizacij","codex.header.settingsTooltip":"Nastavitve","codex.hunk.patch.error":"Priprava ni uspela","codex.hunk.patch.missing":"Za ta del kode ni bilo mogoče ustvariti popravka.","codex.hunk.patch.partialSuccess":"Delni uspeh","codex.hunk.patch.revertError":"Sprememba ni uspela","codex.hunk.patch.revertSuccess":"Uspešno spremenjeno","codex.hunk.patch.success":"Uspešno pripravljeno","codex.legal.autonomy.details":"Za več podrobnosti glejte {link}","codex.legal.autonomy.details.link":"Dokumentacija za Codex","codex.legal.autonomy.title":"Odločite se, koliko avtonomije želite dovoliti","codex.legal.backButton":"Nazaj","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt.","codex.legal.cloud.taskOne.title":"Razloži shrambo novemu oblikovalcu","codex.legal.cloud.taskThree.meta":"openai/agi · 8. okt.","codex.legal.cloud.taskThree.stats.negative":"–123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Ustvari temno temo","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt.","codex.legal.cloud.taskTwo.stats.negative":"–20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Odpravi nastavitveno napako","codex.legal.continue.apikey":"Nadaljuj","codex.legal.continueButton":"Naprej","codex.legal.copilot.details":"Uporablja vaš naročniški paket Copilot za vse klice modelov, obračunavanje in omejitve uporabe. Uporaba razširitve za Codex je odvisna od {oaiTos} in {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Pogoji uporabe GitHuba","codex.legal.copilot.oaiTosLink":"Pogoji uporabe OpenAI Codexa","codex.legal.copilot.title":"Poganja GitHub Copilot","codex.legal.mistakes.review":"Preglej kodo, ki jo napiše, in ukaze, ki jih izvaja","codex.legal.mistakes.title":"Codex se lahko moti","codex.legal.powered.details":"Uporablja omejitve uporabe vašega naročniškega paketa in {link}","codex.legal.powered.details.link":"nastavitve podatkov za učenje modelov","codex.legal.powered.title":"Poganja ga vaš račun za ChatGPT","codex.legal.step.cloud.subtitle":"Pošljite naloge Codexu, da jih izvede v ozadju, vi pa se lahko osredotočite in hitreje napredujete.","codex.legal.step.cloud.title":"Predaja Codexu v oblaku","codex.legal.step.intro.subtitle":"Codex omogoča navigacijo, urejanje, izvajanje ukazov in izvajanje testov neposredno v vaši shrambi. Poganja ga vaš račun za ChatGPT.","codex.legal.step.intro.title":"Codex v vašem integriranem razvojnem okolju","codex.legal.step.todo.subtitle":"Napišite komentar TODO in ga z enim samim klikom pretvorite v nalogo za Codex.","codex.legal.step.todo.title":"Spremenite naloge TODO v naloge za Codex","codex.legal.todo.heading":"// TODO: izvedi shemo","codex.localConversation.closeImagePreview":"Zapri predogled slike","codex.localConversation.userImageAttachment":"Uporabniška priponka","codex.localTaskRow.archiveTask":"Arhiviraj pogovor","codex.localTaskRow.awaitingApproval":"Čaka na odobritev","codex.localTaskRow.awaitingResponse":"Čakam na odgovor","codex.localTaskRow.confirmArchiveTask":"Potrdi","codex.loggedOut.apiKeyPrompt.cancel":"Prekliči","codex.loggedOut.apiKeyPrompt.confirm":"V redu","codex.loggedOut.apiKeyPrompt.getKey":"Pridobi API-ključ","codex.loggedOut.apiKeyPrompt.inputLabel":"Vnesite svoj API-ključ za OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Naloge v oblaku so onemogočene z API-ključem","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Naloge v oblaku so onemogočene s Copilotom in API-ključem","codex.loggedOut.signIn":"Prijava z računom za ChatGPT","codex.loggedOut.signIn.cancel":"Prekliči prijavo","codex.loggedOut.signInWithCopilot":"Prijava z računom za GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Uporabi API-ključ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} orodje","codex.mcpTool.collapsedLabel.verb.called":"Klicano","codex.mcpTool.collapsedLabel.verb.calling":"Klicanje","codex.mcpTool.embeddedResource.contentLabel":"Vsebina","codex.mcpTool.embeddedResource.mimeTypeLabel":"Vrsta MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Orodje ni vrnilo vsebine","codex.mcpTool.rawPayloadHeading":"Neobdelane koristne vsebine klica orodja {server}.{tool}","codex.menu.recent":"Nedavno","codex.menu.seeAllHistory":"Prikaži vso zgodovino","codex.modelCapacityBanner.headline.noReset":"{modelName} je trenutno zaseden. Poskusite znova pozneje ali začnite nov pogovor z drugim modelom.","codex.modelCapacityBanner.headline.withReset":"{modelName} je trenutno zaseden. Poskusite znova {resetDate} ali začnite nov pogovor z drugim modelom.","codex.modelCapacityBanner.title":"Izbrani model je zaseden","codex.patch.change.contentsDeleted":"Vsebina je bila izbrisana","codex.patch.change.created":"Ustvarjeno","codex.patch.change.created-file":"Ustvarjena datoteka","codex.patch.change.creating":"Ustvarjanje","codex.patch.change.deleted":"Izbrisano","codex.patch.change.deleted-file":"Izbrisana datoteka","codex.patch.change.deleting":"Brisanje","codex.patch.change.edited":"Spremenjeno","codex.patch.change.edited-file":"Urejena datoteka","codex.patch.change.editing":"Urejanje","codex.patch.change.noChanges":"Ni sprememb","codex.patch.change.rejected-add":"Zavrnjeno","codex.patch.change.rejected-delete":"Zavrnjeno","codex.patch.change.rejected-edit":"Zavrnjeno","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} od {total} nalog je končanih","codex.plan.todoListCreated":"Seznam opravil, ustvarjen z {total} nalogami","codex.profileDropdown.apiKeyAuth":"Prijavljen z API-ključem","codex.profileDropdown.codexSettings":"Nastavitve Codexa","codex.profileDropdown.copilotAuth":"Prijavljen z računom za Copilot","codex.profileDropdown.defaultAccountTitle":"Privzeti račun","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter, da pošljete dolge pozive","codex.profileDropdown.enterBehaviorError":"Nastavitve ni bilo mogoče posodobiti","codex.profileDropdown.getPlus":"Nadgradi za manjše omejitve","codex.profileDropdown.keyboardShortcuts":"Bližnjice na tipkovnici","codex.profileDropdown.language":"Jezik","codex.profileDropdown.languageDefault":"Samodejno zaznaj","codex.profileDropdown.languageSearchPlaceholder":"Iskanje jezikov","codex.profileDropdown.languageUpdateError":"Jezika ni bilo mogoče posodobiti","codex.profileDropdown.logOut":"Odjava","codex.profileDropdown.mcp":"Nastavitve MCP-ja","codex.profileDropdown.openConfigToml":"Odpri config.toml","codex.profileDropdown.openConfigToml.wsl":"Odpri config.toml v WSL-okolju","codex.profileDropdown.openExtensionSettings":"Odpri nastavitve","codex.profileDropdown.openMcpSettings":"Odpri nastavitve MCP-ja","codex.profileDropdown.openOnStartup":"Odpri ob zagonu","codex.profileDropdown.openOnStartupError":"Nastavitve ni bilo mogoče posodobiti","codex.profileDropdown.openSkillsSettings":"Odpri nastavitve spretnosti","codex.profileDropdown.personalAccountTitle":"Osebni račun","codex.profileDropdown.queueFollowUps":"Nadaljnje naloge v čakalni vrsti","codex.profileDropdown.queueFollowUpsError":"Nastavitve ni bilo mogoče posodobiti","codex.profileDropdown.readDocs":"Preberi dokumentacijo","codex.profileDropdown.readSkillsDocs":"Preberi dokumentacijo","codex.profileDropdown.runInWsl":"Zaženi v WSL-ju","codex.profileDropdown.runInWslError":"Nastavitve ni bilo mogoče posodobiti","codex.profileDropdown.runInWslTooltip":"Izvaja Codex znotraj WSL-ja. Priporočeno za izboljšano varnost peskovnika in boljše delovanje.","codex.profileDropdown.settings":"Nastavitve IDE-ja","codex.profileDropdown.settingsPage":"Nastavitve","codex.profileDropdown.signInWithOpenAI":"Prijava z računom za ChatGPT","codex.profileDropdown.skills":"Nastavitve spretnosti","codex.profileDropdown.switchToCopilotAccount":"Uporabi račun za Copilot","codex.profileDropdown.switchToOpenAIAccount":"Uporabi račun za OpenAI","codex.profileDropdown.todoCodelens":"Popravi komentarje za TODO","codex.profileDropdown.todoCodelensError":"Nastavitve ni bilo mogoče posodobiti","codex.profileDropdown.windowsDocumentation":"Dokumentacija sistema Windows","codex.profileFooter.signedInFallback":"Nastavitve","codex.profileFooter.upgrade":"Nadgradi","codex.recentTasksMenu.clearSearch":"Počisti iskanje","codex.recentTasksMenu.cloud":"Naloge v oblaku","codex.recentTasksMenu.count":"{count, plural, =0 {Ni nalog v teku} one {# naloga v teku} two {# nalogi v teku} few {# naloge v teku} other {# nalog v teku}}","codex.recentTasksMenu.empty":"Ni še pogovora","codex.recentTasksMenu.errorCloud":"Nalog ni bilo mogoče naložiti.","codex.recentTasksMenu.errorCloud.inline":"Nalog v oblaku ni bilo mogoče naložiti.","codex.recentTasksMenu.filterAll":"Vse","codex.recentTasksMenu.filterCloudTasks":"Filtrirajte naloge v oblaku","codex.recentTasksMenu.filterTooltip":"Filtriraj opravila po okolju","codex.recentTasksMenu.local":"Lokalne naloge","codex.recentTasksMenu.recent":"Vse naloge","codex.recentTasksMenu.search":"Iščite nedavne naloge","codex.recentTasksMenu.searchEmpty":"Ni rezultatov","codex.recentTasksMenu.tooltip":"Zgodovina nalog","codex.recentTasksMenu.trigger":"Nedavne naloge. {count, plural, one {# v teku} two {# v teku} few {# v teku} other {# v teku}}","codex.remoteConversation.applyDiff.applyCta":"Uveljavi spremembe","codex.remoteConversation.applyDiff.dropdownTitle":"Uveljavi spremembe v lokalni veji","codex.remoteConversation.applyDiff.revertCta":"Razveljavi spremembe","codex.remoteConversation.closeImagePreview":"Zapri predogled slike","codex.remoteConversation.codexCloudTask":"Prikazana je naloga v <u>Codex Cloudu</u>","codex.remoteConversation.errorWithMessage":"Napaka: {message}","codex.remoteConversation.loadingImage":"Nalaganje slike","codex.remoteConversation.openInWeb":"Odpri na spletu","codex.remoteConversation.streaming":"Začenjam","codex.remoteConversation.turnFailed":"Med izvajanjem naloge je prišlo do napake","codex.remoteConversation.turnTab.loading":"Poskus {number}","codex.remoteConversation.turnTab.title":"Poskus {number}","codex.remoteConversation.userImageAttachment":"Uporabniška priponka","codex.remoteConversation.viewPreviousTurns":"Odpri na spletu","codex.remoteConversation.viewPreviousTurns.buttonText":"Odpri","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Odpri na spletu","codex.review.copyGitApplyCommand":"Kopiraj ukaz za uveljavitev popravka","codex.review.copyGitApplyCommand.toast":"Ukaz za uveljavitev popravka je bil kopiran v odložišče","codex.review.diffTooLarge.description":"Ta razlika je prevelika za prikaz v pregledu.","codex.review.diffTooLarge.title":"Razlika je prevelika za prikaz","codex.review.expandOrCollapseDiffButton.collapse":"Strni vse razlike","codex.review.expandOrCollapseDiffButton.expand":"Razširi vse razlike","codex.review.expandOrCollapseDiffMenu.collapse":"Strni vse razlike","codex.review.expandOrCollapseDiffMenu.expand":"Razširi vse razlike","codex.review.fileSearch.clear":"Počisti filter datotek","codex.review.fileSearch.empty":"Nobena datoteka se ne ujema s trenutnim filtrom.","codex.review.fileSearch.label":"Filtriraj datoteke","codex.review.fileSearch.placeholder":"Filtriraj datoteke …","codex.review.filesChanged":"{num, plural, =0 {Ni spremenjenih datotek} one {# spremenjena datoteka} two {# spremenjeni datoteki} few {# spremenjene datoteke} other {# spremenjenih datotek}}","codex.review.find.loadMore":"Naloži več zadetkov","codex.review.fullReview.hideFileTree":"Skrij drevo datotek","codex.review.fullReview.showFileTree":"Prikaži drevo datotek","codex.review.header.moreOptions":"Možnosti pregleda","codex.review.largeDiff.banner":"Zaznana je bila velika razlika – prikaz posameznih datotek.","codex.review.loadFullFiles.disable":"Ne nalagaj celih datotek","codex.review.loadFullFiles.enable":"Naloži cele datoteke","codex.review.noDiff":"Spremembe datoteke bodo prikazane tukaj","codex.review.noDiff.gitInit.createRepository":"Ustvari shrambo na Gitu","codex.review.noDiff.gitInit.creating":"Ustvarjanje …","codex.review.noDiff.gitInit.error":"Inicializacija Gita ni uspela: {message}","codex.review.noDiff.gitInit.success":"Shramba na Gitu je bila ustvarjena","codex.review.noDiff.gitRepoRequired.description":"Sledenje in razveljavljanje sprememb v tem projektu","codex.review.noDiff.gitRepoRequired.title":"Ustvarite shrambo na Gitu","codex.review.noDiff.orNoLongerAvailable":"ali najnovejše razlike niso več na voljo","codex.review.noDiff.reverted":"Zadnji korak je bil razveljavljen","codex.review.noDiff.revertedOrCommitted":"Zadnji korak je bil razveljavljen ali zapisan","codex.review.refreshGitQueries":"Osveži","codex.review.revert.file.error":"{path} ni bilo mogoče razveljaviti","codex.review.revert.file.partialSuccess":"{path} je bilo delno razveljavljeno","codex.review.revert.file.success":"{path} je bilo razveljavljeno","codex.review.revert.hunk.error":"Dela kode {hunkNumber} v {path} ni bilo mogoče razveljaviti","codex.review.revert.hunk.partialSuccess":"Del kode {hunkNumber} v {path} je bil delno razveljavljen","codex.review.revert.hunk.success":"Del kode {hunkNumber} v {path} je bil razveljavljen","codex.review.revert.section.error":"Razdelka ni bilo mogoče razveljaviti","codex.review.revert.section.partialSuccess":"Razdelek je bil delno razveljavljen","codex.review.revert.section.success":"Razdelek je bil razveljavljen","codex.review.revertDialog.cancel":"Prekliči","codex.review.revertDialog.confirm":"Potrdi","codex.review.revertDialog.message":"S tem dejanjem boste odstranili vse te spremembe.","codex.review.revertDialog.skip":"Ne sprašuj več","codex.review.revertDialog.title":"Želite razveljaviti spremembe?","codex.review.richPreview.disable":"Onemogoči obogaten predogled","codex.review.richPreview.enable":"Omogoči obogaten predogled","codex.review.source.cloud":"Spremembe v oblaku","codex.review.source.local.all":"Vse spremembe vej","codex.review.source.local.lastTurn":"Spremembe zadnjega koraka","codex.review.source.local.uncommitted":"Nezapisane spremembe","codex.review.source.worktree":"Nezapisane spremembe delovnega drevesa","codex.review.stageFilter.empty.staged.description":"Sprejmite spremembe za njihovo pripravo","codex.review.stageFilter.empty.staged.title":"Ni pripravljenih sprememb","codex.review.stageFilter.empty.unstaged.description":"Tukaj bodo prikazane spremembe kode","codex.review.stageFilter.empty.unstaged.title":"Ni narejenih sprememb","codex.review.stageFilter.staged":"Pripravljeno","codex.review.stageFilter.staged.count":"Pripravljeno · {count}","codex.review.stageFilter.unstaged":"Spremenjeno","codex.review.stageFilter.unstaged.count":"Spremenjeno · {count}","codex.review.switchToSplit":"Preklopi na deljeno razliko","codex.review.switchToUnified":"Združeni prikaz","codex.review.toggleDiffView":"Preklopi pogled razlik","codex.review.wordDiffs.disable":"Onemogoči razlike med besedami","codex.review.wordDiffs.enable":"Omogoči razlike med besedami","codex.review.wrap.disable":"Onemogoči prelom besed","codex.review.wrap.enable":"Omogoči prelom besed","codex.section.patch.missing":"Za ta razdelek ni mogoče ustvariti popravka.","codex.shell.collapse":"Strni ukazno lupino","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Vsebina ukazne lupine je bila kopirana","codex.shell.copy.copyTooltip":"Kopiraj vsebino ukazne lupine","codex.shell.copyCommand":"Kopiraj ukaz","codex.shell.copyOutput":"Kopiraj rezultat","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Razširi ukazno lupino","codex.shell.name":"Ukazna lupina","codex.shell.noOutput":"Brez izhoda","codex.signInFailed.message":"Prijava ni uspela: {rawMessage}","codex.stories.toast.show":"Prikaži obvestilo","codex.stories.tooltip.basic":"To je opis orodja","codex.stories.tooltip.hoverMe":"Zadrži kazalec nad mano","codex.stories.tooltip.largerOffset":"Ta opis orodja ima večji odmik","codex.stories.tooltip.offsetButton":"Večji odmik","codex.stories.tooltip.shortcutButton":"Z bližnjico","codex.stories.tooltip.withShortcut":"Preklopi terminal","codex.taskRow.title":"Nov pogovor","codex.taskRowLayout.confirm":"Potrdi","codex.threadFindBar.chatFilter":"Išči po klepetu","codex.threadFindBar.close":"Zapri iskanje","codex.threadFindBar.diffFilter":"Išči razlike","codex.threadFindBar.label":"Poišči v pogovoru","codex.threadFindBar.nextResult":"Naslednji rezultat","codex.threadFindBar.noResults":"Ni rezultatov","codex.threadFindBar.placeholder":"Iščite po pogovoru …","codex.threadFindBar.placeholder.extension":"Iščite po pogovoru …","codex.threadFindBar.placeholder.review":"Iščite po razlikah …","codex.threadFindBar.placeholder.review.extension":"Iščite po razlikah …","codex.threadFindBar.previousResult":"Prejšnji rezultat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# spremenjena datoteka} two {# spremenjeni datoteki} few {# spremenjene datoteke} other {# spremenjenih datotek}}","codex.unifiedDiff.inlineLargeFile":"Preveliko za upodabljanje v vrstici","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"–{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Razveljavi","codex.unifiedDiff.revertPatchError":"Sprememb ni bilo mogoče razveljaviti","codex.unifiedDiff.revertPatchSuccess":"Spremembe so bile razveljavljene","codex.unifiedDiff.reviewChangesSuffix":"spremembe","codex.unifiedDiff.reviewShort":"Pregled","codex.unifiedDiff.viewDiffTooltip":"Pregled","codex.upsellBanner.business.headline":"Če želite večji dostop, pošljite sporočilo svojemu skrbniku ali počakajte do {resetDate}.","codex.upsellBanner.cbp.headline":"Če želite večji dostop, pošljite sporočilo svojemu skrbniku.","codex.upsellBanner.cta.addCredits":"Dodaj dobroimetje","codex.upsellBanner.cta.upgradeAccount":"Nadgradi","codex.upsellBanner.cta.viewUsage":"Oglejte si uporabo","codex.upsellBanner.free.trialHeadline":"Vaša omejitev uporabe se bo ponastavila {resetDate}. Če želite še naprej uporabljati Codex in pridobiti dostop do GPT-5.3-Codex, začnite brezplačni preizkus naročniškega paketa Plus še danes.","codex.upsellBanner.freeOrGo.headline":"Vaša omejitev hitrosti se ponastavi dne {resetDate}. Če želite še naprej uporabljati Codex, nadgradite na naročnino Plus še danes.","codex.upsellBanner.general.headline":"Vaša omejitev hitrosti se ponastavi dne {resetDate}.","codex.upsellBanner.general.title":"Zmanjkalo vam je sporočil za Codex","codex.upsellBanner.go.trialHeadline":"Vaša omejitev uporabe se bo ponastavila {resetDate}. Če želite še naprej uporabljati Codex, brezplačno preizkusite naročniški paket Plus še danes.","codex.upsellBanner.plus.headline":"Vaša omejitev hitrosti se ponastavi dne {resetDate}. Če želite še naprej uporabljati Codex, dodajte dobroimetje ali nadgradite na naročnino Pro še danes.","codex.upsellBanner.pro.headline":"Vaša omejitev hitrosti se ponastavi dne {resetDate}. Dodajte dobroimetje, da boste lahko še naprej uporabljali Codex.","codex.userMessage.autoResolveSync":"Samodejno reševanje konfliktov","codex.userMessage.commentCount":"{count, plural, one {# komentar} two {# komentarjev} few {# komentarjev} other {# komentarjev}}","codex.userMessage.copiedAriaLabel":"Kopirano","codex.userMessage.copiedTooltip":"Kopirano","codex.userMessage.copyAriaLabel":"Kopiraj sporočilo","codex.userMessage.copyTooltip":"Kopiraj","codex.userMessage.implementPlan":"Izvedi načrt","codex.userMessage.noContent":"(ni vsebine)","codex.userMessage.priorConversation":"Sklicuje se na prejšnji pogovor","codex.userMessage.reviewMode":"Način pregleda","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"za {query}","codex.webSearch.summary.verb.completed":"Iskano po spletu","codex.webSearch.summary.verb.inProgress":"Iskanje po spletu","codex.windowsInstallWslBanner.dismiss":"Zavrni","codex.windowsInstallWslBanner.installWslCta":"Omogoči peskovnik","codex.windowsInstallWslBanner.learnMore":"Izvedite več","codex.windowsSandboxBanner.content":"Agentski način uporablja eksperimentalni peskovnik v sistemu Windows za omejitev dostopa do datotečnega sistema in omrežja. {sandboxLink}","codex.windowsSandboxBanner.title":"Omogočite peskovnik za agentski način","codex.windowsSubDropdown.windowsSandbox":"Peskovnik sistema Windows","codex.windowsSubDropdown.windowsSettings":"Nastavitve sistema Windows","codexUpgradeModal.body":"Naš najnovejši vrhunski agentski model za programiranje – pametnejši, hitrejši in zmogljivejši za splošno tehnično delo. {link}","codexUpgradeModal.close":"Zapri","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Izvedite več","codexUpgradeModal.title":"Predstavljamo GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Preizkusite GPT-5.3-Codex zdaj","codexUpgradeModal.useExistingModel":"Nadaljuj s trenutnim modelom","commentAttachments.numComments":"{count, plural, one {# komentar} two {# komentarja} few {# komentarji} other {# komentarjev}}","commentAttachments.removeAriaLabel":"Odstrani priponko s komentarji","common.close":"Zapri","composer.addContext.openFilePickerError":"Izbirnika datotek ni mogoče odpreti","composer.addContextDropdown.ariaLabel":"Vse datoteke in še več","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Vse datoteke in še več","composer.addPhotosAndFiles":"Dodaj fotografije in datoteke","composer.atMentionList.emptyQuery":"Vnesite besedilo za iskanje datotek","composer.atMentionList.loading":"Iskanje …","composer.atMentionList.noResults":"Ni rezultatov","composer.attemptsSelector.option":"{count, plural, one {# različica} two {# različici} few {# različice} other {# različic}}","composer.attemptsSelector.tooltip":"Število vzporednih poskusov, ki jih izvede Codex","composer.attemptsSelector.trigger":"{count}×","composer.backgroundTerminals.stop":"Ustavi","composer.cloudFollowUp.cloud":"V oblaku","composer.cloudFollowUp.local":"Lokalno","composer.cloudFollowUp.whereRun":"Kje naj se izvaja to nadaljnje spremljanje?","composer.cloudTaskCreationError":"Pri ustvarjanju naloge v oblaku je prišlo do napake","composer.cloudTaskError":"Pri ustvarjanju naloge je prišlo do napake","composer.contextWindow.autoCompactionTooltipLine1":"Codex samodejno stisne svoj kontekst","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontekstno okno:","composer.contextWindowUsageStatusFull":"{usage} % zapolnjeno","composer.contextWindowUsageStatusLeft":"{usage} % uporabljeno ({remaining} % preostalo)","composer.contextWindowUsageTooltip":"{usedTokens} k/{contextWindow} k členov je bilo uporabljenih","composer.customCliTooltip":"Uporaba izvedljivega vmesnika ukazne vrstice po meri","composer.dictation.aria":"Narekuj","composer.dictation.cancel.aria":"Ustavi narek","composer.dictation.cancel.tooltip":"Ustavi narek","composer.dictation.startError":"Narekovanja ni mogoče začeti","composer.dictation.submit.aria":"Prepiši in pošlji","composer.dictation.submit.tooltip":"Prepiši in pošlji","composer.dictation.tooltip":"Držite za narekovanje","composer.dictation.transcribeError":"Zvoka ni mogoče prepisati","composer.dictation.unsupported":"Narekovanje ni na voljo na tej napravi","composer.dropOverlay.holdShift":"Držite {key}, da spustite","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Ustvari nov","composer.environmentSelector.error":"Pri nalaganju okolij je prišlo do napake","composer.environmentSelector.goBack":"Nazaj na urejevalnik","composer.environmentSelector.title":"Izberite okolje","composer.environmentSelector.tooltip":"Izberite okolje v oblaku","composer.feedbackSlashCommand.title":"Povratne informacije","composer.filePicker.selectFile":"Izberite datoteko","composer.filePicker.selectFiles":"Izberite datoteke","composer.followerTooltip":"Za nadaljevanje se vrnite v okno, kjer se je ta pogovor začel.","composer.footer.branchSwitch.checkoutError":"Veje ni bilo mogoče zamenjati: {message}","composer.footer.branchSwitch.createAndCheckout":"Ustvari in izberi novo vejo …","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Zapišite spremembe, da ustvarite in izberete novo vejo","composer.footer.branchSwitch.createBranchError":"Veje ni bilo mogoče ustvariti: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Ime veje","composer.footer.branchSwitch.createDialog.branchExistsError":"Veja že obstaja.","composer.footer.branchSwitch.createDialog.close":"Zapri","composer.footer.branchSwitch.createDialog.createAndCheckout":"Ustvari in izberi","composer.footer.branchSwitch.createDialog.placeholder":"nova-veja","composer.footer.branchSwitch.createDialog.title":"Ustvarite in izberite vejo","composer.footer.branchSwitch.createDialog.trailingSlashError":"Ime veje se ne sme končati z »/«.","composer.footer.branchSwitch.tooltip":"Zamenjaj vejo","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Zapišite spremembe v {fileCount, plural, one {# datoteka} two {# datoteke} few {# datoteke} other {# datoteke}}, da izberete {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Zapis sprememb","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"spremembe v {fileCount, plural, one {# datoteka} two {# datoteke} few {# datoteke} other {# datoteke}} za izbiro {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Prekliči","composer.footer.branchSwitch.uncommittedDialog.commit":"Zapiši in zamenjaj vejo …","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Spremembe naslednjih datotek bodo ob izbiri prepisane:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Za nadaljevanje zapišite spremembe","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"izbrana veja","composer.footer.branchSwitch.uncommittedDialog.title":"Za zamenjavo veje zapišite spremembe","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nezapisano: {fileCount, plural, one {# datoteka} two {# datoteki} few {# datoteke} other {# datotek}}","composer.forkSlashCommand.description":"Osami ta pogovor v lokalno ali novo delovno drevo","composer.forkSlashCommand.option.local.description":"Nadaljuj v novem lokalnem pogovoru","composer.forkSlashCommand.option.local.title":"Osami v lokalno","composer.forkSlashCommand.option.worktree.description":"Nadaljuj v novem delovnem drevesu","composer.forkSlashCommand.option.worktree.title":"Osami v novo delovno drevo","composer.forkSlashCommand.title":"Osami","composer.ideContextIndicator":"Kontekst iz IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Vključi kontekst iz IDE","composer.ideContextIndicator.tooltipToggle":"za preklop","composer.ideContextSlashCommand.disableDescription":"Izklopi kontekst iz IDE","composer.ideContextSlashCommand.enableDescription":"Vključite trenutni izbor, odprte datoteke in drug kontekst iz vašega integriranega razvojnega okolja (IDE)","composer.ideContextSlashCommand.title":"Kontekst iz IDE","composer.imageInputsUnsupported":"Ta model ne podpira slikovnih vnosov. Poskusite z drugim modelom.","composer.imageUploadFailed":"Slike ni bilo mogoče naložiti","composer.includeIdeContextDropdown":"Vključi IDE-kontekst","composer.includeIdeContextDropdown.ariaLabel":"Vključi IDE-kontekst","composer.localCwdDropdown.addWorkspaceRoot":"Dodaj nov projekt","composer.localCwdDropdown.noActiveRoot":"Izberite svoj projekt","composer.localCwdDropdown.noResults":"Ni map","composer.localCwdDropdown.title":"Izberite svoj projekt","composer.localTaskError":"Pri vzpostavljanju pogovora je prišlo do napake","composer.mcpSlashCommand.description":"Prikaži stanje MCP-strežnika","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Pristnost ni potrjena","composer.mcpStatus.authOauth":"Pristnost je potrjena (OAuth)","composer.mcpStatus.authToken":"Pristnost je potrjena (API-ključ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zapri","composer.mcpStatus.disabled":"Onemogočeno","composer.mcpStatus.emptyLabel":"Strežniki:","composer.mcpStatus.emptyValue":"Ni konfiguriranih MCP-strežnikov","composer.mcpStatus.enabled":"Omogočeno","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Stanja MCP-ja ni mogoče naložiti","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Zamenjaj način","composer.mode.agentMode.custom":"Po meri","composer.mode.agentMode.custom.dropdownLabel":"Po meri","composer.mode.agentMode.custom.option":"Po meri (config.toml)","composer.mode.agentMode.custom.optionLabel":"Po meri (config.toml)","composer.mode.agentMode.customInfo.cancel":"Prekliči","composer.mode.agentMode.customInfo.cli":"Te nastavitve lahko prilagodite iz vmesnika ukazne vrstice ali z neposrednim urejanjem datoteke.","composer.mode.agentMode.customInfo.confirm":"Uporabi način po meri","composer.mode.agentMode.customInfo.description":"Način po meri uporablja pravila za odobritve in peskovnike, opredeljene v vašem <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Izvedite več o konfiguriranju pravil za odobritve in peskovnike v <link>dokumentaciji izvajalnega okolja</link>.","composer.mode.agentMode.customInfo.refresh":"Vse spremembe začnejo veljati ob naslednjem zagonu agenta.","composer.mode.agentMode.customInfo.title":"Kako deluje način po meri","composer.mode.agentMode.fullAccess":"Agent (polni dostop)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (polni dostop)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (polni dostop)","composer.mode.agentMode.fullAccessConfirm.caution":"Bodite previdni, ko omogočite polni dostop. To znatno poveča tveganje za izgubo ali uhajanje podatkov ali nepričakovano vedenje.","composer.mode.agentMode.fullAccessConfirm.confirm":"Da, vseeno nadaljuj","composer.mode.agentMode.fullAccessConfirm.description":"Ko Codex deluje s polnim dostopom, lahko ureja katerokoli datoteko na vašem računalniku in izvaja ukaze prek omrežja brez vašega dovoljenja.","composer.mode.agentMode.fullAccessConfirm.goBack":"Prekliči","composer.mode.agentMode.fullAccessConfirm.title":"Želite dovoliti polni dostop?","composer.mode.agentMode.readOnly":"Klepet","composer.mode.agentMode.readOnly.dropdownLabel":"Klepet","composer.mode.agentMode.readOnly.optionLabel":"Klepet","composer.mode.agentMode.tooltip":"Zamenjaj način","composer.mode.agentMode.tooltip.auto":"Branje in urejanje datotek ter izvajanje ukazov.","composer.mode.agentMode.tooltip.custom":"Uporabi najnovejša pravila za odobritve in peskovnike, opredeljene v config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex lahko ureja datoteke zunaj projekta in izvaja ukaze z dostopom do omrežja. Pri uporabi bodite previdni.","composer.mode.agentMode.tooltip.readOnly":"Zahteva odobritev za urejanje datotek in izvajanje ukazov.","composer.mode.cloud.tooltip":"Delo v okolju v oblaku","composer.mode.contactAdmin":"Za večji dostop se obrnite na skrbnika","composer.mode.local":"Lokalno","composer.mode.local.learnMore":"Izvedite več","composer.mode.local.model.custom":"Po meri","composer.mode.local.model.loadingModel":"Nalaganje modela","composer.mode.local.model.selecrReasoningEffort":"Izberi sklepanje","composer.mode.local.model.selectModel":"Izberi model","composer.mode.local.model.tooltip":"Izberi model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Visoko","composer.mode.local.reasoning.low.label":"Nizko","composer.mode.local.reasoning.medium.label":"Srednje","composer.mode.local.reasoning.minimal.label":"Najmanj","composer.mode.local.reasoning.none.label":"Brez","composer.mode.local.reasoning.xhigh.label":"Zelo poglobljeno","composer.mode.localRemoteWhereRun":"Izberite, kje želite izvesti nalogo","composer.mode.newTask.header":"Nadaljuj v","composer.mode.rateLimit.day":"{days} dni","composer.mode.rateLimit.heading":"Preostale omejitve uporabe","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Omejitev {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {tedenska omejitev} two {{weeks}-tedenska omejitev} few {{weeks}-tedenska omejitev} other {{weeks}-tedenska omejitev}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Tedensko} two {{weeks} tedna} few {{weeks} tedni} other {{weeks} tednov}}","composer.mode.remote.connectToCloud":"Poveži Codex na spletu","composer.mode.remote.connectToCloudDisabledTooltip":"Nastavi okolje prek Codexa na spletu, da se omogoči pošiljanje nalog v oblak","composer.mode.remote.selectEnvironment":"Izberite okolje","composer.mode.remote.sendToCloud":"Pošlji v oblak","composer.mode.remote.setupViaWeb":"Nastavi okolje prek spletnega mesta Codexa","composer.mode.runInCloud":"V oblaku","composer.mode.runInCloudWithEnvironment":"V oblaku · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Delo v okolju v oblaku","composer.mode.segmentedToggle.local.tooltip":"Delajte v svojem lokalnem projektu","composer.mode.segmentedToggle.worktree.tooltip":"Delo v vzporednem delovnem drevesu","composer.mode.upgradeToPlus":"Nadgradite na Plus","composer.mode.upgradeToPro":"Nadgradite na Pro","composer.mode.workLocally":"Lokalni projekt","composer.mode.workLocally.currentBranchFallback":"vaša veja","composer.mode.workLocally.tooltip":"Delo v {branchName}","composer.mode.worktree":"Novo delovno drevo","composer.mode.worktree.submoduleWarning":"To skladišče ima podmodule git. Ustvarjanje delovnega drevesa morda ne bo uspelo.","composer.mode.worktree.tooltip":"Ustvarite kopijo lokalnega projekta za vzporedno delo","composer.mode.worktreeSegment":"Delovno drevo","composer.modelChangeDuringConversationWarning.toast":"Menjava modelov sredi pogovora bo poslabšala delovanje.","composer.newChat.heading.browser":"Kaj bomo programirali kot naslednje?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex uporablja dovoljenje, določeno v config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ima poln dostop do vašega računalnika (povečano tveganje)","composer.permissionsDropdown.custom.label":"Po meri (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Po meri (config.toml)","composer.permissionsDropdown.default.label":"Privzeta dovoljenja","composer.permissionsDropdown.default.optionLabel":"Privzeta dovoljenja","composer.permissionsDropdown.default.tooltip":"Codex samodejno izvaja ukaze v peskovniku","composer.permissionsDropdown.disabled.requirements":"Dovoljenja so zaklenjena z datoteko requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Polni dostop je onemogočen z requirements.toml","composer.permissionsDropdown.fullAccess.label":"Poln dostop","composer.permissionsDropdown.fullAccess.optionLabel":"Poln dostop","composer.permissionsDropdown.trigger.tooltip":"Spremeni dovoljenja","composer.personalitySlashCommand.description.friendly":"Prijeten, sodelovalen in ustrežljiv","composer.personalitySlashCommand.description.pragmatic":"Jedrnat, osredotočen na nalogo in neposreden","composer.personalitySlashCommand.label.friendly":"Prijazen","composer.personalitySlashCommand.label.pragmatic":"Pragmatičen","composer.personalitySlashCommand.notApplicableSuffix":"(Ne velja za trenutni model)","composer.personalitySlashCommand.title":"Osebnost","composer.placeholder.cloudFollowUp.directFollowUp":"Nadaljujte s to nalogo v oblaku","composer.placeholder.cloudFollowUp.local":"Ustvarite novo lokalno nalogo, ki se sklicuje na to nalogo v oblaku","composer.placeholder.cloudFollowUp.workingTree":"Ustvarite novo nalogo v oblaku, ki vključuje vašo trenutno kodo in se bo sklicevala na to nalogo","composer.placeholder.localFollowUp.cloud":"Nadaljnje z novo nalogo v oblaku","composer.placeholder.localFollowUp.locally":"Zahtevajte nadaljnje spremembe","composer.placeholder.newTask.cloud":"Prosite Codex, naj izvede karkoli v oblaku","composer.placeholder.newTask.doAnything":"Prosite Codex za karkoli","composer.placeholder.newTask.locally":"Vprašajte Codex karkoli, @ za dodajanje datotek, / za ukaze","composer.planModeDropdown":"Način naročnine","composer.planModeDropdown.ariaLabel":"Način naročnine","composer.planModeIndicator":"Načrtuj","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Ustvari načrt s Codexom","composer.planModeIndicator.tooltipToggle":"za preklop","composer.planSlashCommand.disableDescription":"Izklopi način naročnine","composer.planSlashCommand.enableDescription":"Vklopi način naročnine","composer.planSlashCommand.title":"Način naročnine","composer.priorContext.label":"Prejšnji kontekst","composer.priorContext.removeAriaLabel":"Odstrani prejšnji kontekst","composer.queuedMessage.delete":"Izbriši sporočilo v čakalni vrsti","composer.queuedMessage.edit":"Uredi sporočilo","composer.queuedMessage.more":"Dejanja za sporočilo v čakalni vrsti","composer.queuedMessage.sendNow":"Vodenje","composer.queuedMessage.sendNowTooltip":"Pošlji zdaj brez prekinitve dela","composer.queuedMessage.turnOff":"Izklopi čakalno vrsto","composer.reasoningEffort.local.reasoning.tooltip":"Izberi stopnjo sklepanja","composer.remote.branchStartingPoint":"S katero vejo naj se ta naloga začne?","composer.remote.branchesSectionHeading":"Veje","composer.remote.currentEditsSuffix.followUp":"Ustvarite novo nalogo, ki se sklicuje na to nalogo v oblaku.","composer.remote.currentEditsSuffix.useLocal":"z lokalnimi spremembami kode","composer.remote.directFollowUp":"Ne uporabi lokalnih sprememb","composer.remote.errorLoadingBranches":"Pri nalaganju vej je prišlo do napake","composer.remote.fromBranch":"Od {branch}","composer.remote.fromCurrentBranch":"Iz {branch} (trenutno)","composer.remote.loadingMoreBranches":"Nalaganje …","composer.remote.localFileStateHeading":"Stanje lokalne datoteke","composer.remote.localWorkingTree":"Uporabi lokalne spremembe","composer.remote.startingPoint":"S katero kodo naj se ta naloga začne?","composer.reviewMode.branches.error":"Vej ni bilo mogoče naložiti","composer.reviewMode.branches.retry":"Poskusi znova","composer.reviewMode.gitRoot.error":"Korenskega imenika za Git ni bilo mogoče najti","composer.reviewMode.option.baseBranch.simple":"Pregled glede na osnovno vejo","composer.reviewMode.option.unstaged.simple":"Preglej nezapisane spremembe","composer.reviewMode.quickReviewError":"Pregleda kode ni bilo mogoče začeti.","composer.reviewMode.title":"Pregled kode","composer.sandboxButton.unlock.disabled.tooltip":"Polni dostop je onemogočen z requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex lahko v sistemu Windows uporabi eksperimentalni peskovnik za omejitev dostopa do datotečnega sistema in omrežja. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Želite omogočiti peskovnik sistema Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Uporabi le za branje","composer.searchEnvironments":"Iščite po okoljih","composer.skillMentionList.app":"Aplikacija","composer.skillMentionList.loading":"Nalaganje spretnosti …","composer.skillMentionList.noResults":"Ni bilo najdenih spretnosti","composer.slashCommands.cloudEnvironment.title":"Okolje v oblaku","composer.slashCommands.dialogLabel":"Meni ukazov s poševnico","composer.slashCommands.dialogTitle":"Ukazi s poševnico","composer.slashCommands.disabledTooltip":"Začni nov pogovor z uporabo ukazov s poševnico","composer.slashCommands.inputPlaceholder":"Išči","composer.slashCommands.noResults":"Ni ukazov","composer.slashCommands.skillsGroup":"Spretnosti","composer.slashCommands.tooltip":"Brskaj po ukazih s poševnico","composer.status.close":"Zapri","composer.statusPlain.alertLabel":"Opozorilo:","composer.statusPlain.alertValue":"Še {remaining} % na {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count} K","composer.statusPlain.contextValueMetadata":"(Uporabljeno {used}/{total})","composer.statusPlain.contextValueRemaining":"Še {remaining} %","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Omejitev {modelName}:","composer.statusPlain.rateLimitDays":"Omejitev {count} d","composer.statusPlain.rateLimitFallbackLabel":"Omejitev:","composer.statusPlain.rateLimitHours":"Omejitev {count} h","composer.statusPlain.rateLimitLabelBase":"Omejitev","composer.statusPlain.rateLimitMinutes":"Omejitev {count} m","composer.statusPlain.rateLimitPercent":"Še {remaining} %","composer.statusPlain.rateLimitReset":"ponastavi se {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"čas ponastavitve ni na voljo","composer.statusPlain.rateLimitUnavailable":"Ni na voljo","composer.statusPlain.sessionCopiedAriaLabel":"ID seje je bil kopiran","composer.statusPlain.sessionCopiedTooltip":"ID je bil kopiran","composer.statusPlain.sessionCopyAriaLabel":"Kopiraj ID seje","composer.statusPlain.sessionCopyTooltip":"Kopiraj ID","composer.statusPlain.sessionLabel":"Seja:","composer.statusSlashCommand.description":"Prikaži ID pogovora, uporabo konteksta in omejitve","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"V redu","composer.submit.blockedDialogTitle":"Sporočila ni bilo mogoče poslati","composer.submit.emptyMessage":"Vnesite sporočilo, da začnete","composer.submit.imageInputsUnsupported":"Odstranite slike ali zamenjajte modele, da pošljete to sporočilo.","composer.submit.loadingLocalConfig":"Nalaganje …","composer.submit.missingCloudConfig":"Izbrati morate okolje v oblaku","composer.submit.missingCloudTurn":"Te naloge ni mogoče nadaljevati","composer.submit.noWorkspace":"Dodajte projekt za uporabo Codexa","composer.submit.waitForImageUploads":"Nalaganje slik …","composer.submitButtonTooltip.send":"Pošlji","composer.submitButtonTooltip.stop":"Ustavi","composer.worktreeEnvironment.create":"Ustvari lokalno okolje","composer.worktreeEnvironment.default":"Privzeto okolje","composer.worktreeEnvironment.error":"Pri nalaganju okolij je prišlo do napake","composer.worktreeEnvironment.loading":"Nalaganje okolij …","composer.worktreeEnvironment.title":"Lokalno okolje","composer.worktreeEnvironment.tooltip":"Izberi lokalno okolje","composer.worktreeSetupFailed":"Delovnega drevesa ni bilo mogoče nastaviti. Preverite .codex/environments za namestitveno skripto.","compoundButton.secondaryAction":"Sekundarno dejanje","copyButton.copied":"Kopirano","copyButton.copiedAriaLabel":"Kopirano","copyButton.copy":"Kopiraj","copyButton.copyAriaLabel":"Kopiraj","copyButton.copyCode":"Kopiraj kodo","diff.actionButton.revertFile":"Povrni datoteko","diff.actionButton.revertHunk":"Razveljavi","diff.actionButton.revertSection":"Razveljavi vse","diff.actionButton.revertSectionLabel":"Razveljavi vse","diff.actionButton.stageFile":"Pripravi datoteko","diff.actionButton.stageHunk":"Priprava","diff.actionButton.stageSection":"Pripravi vse","diff.actionButton.stageSectionLabel":"Pripravi vse","diff.actionButton.unstageFile":"Spremeni datoteko","diff.actionButton.unstageHunk":"Spremeni","diff.actionButton.unstageSection":"Spremeni vse","diff.actionButton.unstageSectionLabel":"Spremeni vse","diff.fileHeader.toggle":"Preklopi razlike v datotekah","electron.onboarding.login.apikey.cancel":"Prekliči","electron.onboarding.login.apikey.continue":"Nadaljuj","electron.onboarding.login.apikey.label":"API-ključ OpenAI-ja","electron.onboarding.login.apikey.open":"Vnesi API-ključ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Prekliči prijavo","electron.onboarding.login.chatgpt.continue":"Nadaljuj z računom za ChatGPT","electron.onboarding.login.devbox":"Poveži z oddaljenim SSH","electron.onboarding.login.error":"Prijava ni uspela: {rawMessage}","electron.onboarding.login.snake.start":"Igraj kačo","electron.onboarding.login.sshConfig.cancel":"Prekliči","electron.onboarding.login.sshConfig.continue":"Nadaljuj","electron.onboarding.login.sshConfig.hostnameLabel":"Ime gostitelja SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Najboljši način za delo z agenti","electron.onboarding.login.title":"Dobrodošli v Codexu","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Nadaljuj","electron.onboarding.welcome.doubleLimits.description":"Ob predstavitvi aplikacije Codex vam do 2. aprila podarjamo 2× manjše omejitve uporabe.","electron.onboarding.welcome.freego.description":"Codex je brezplačno vključen v vaš naročniški paket do 2. marca – začnimo graditi skupaj.","electron.onboarding.welcome.new.title.anon":"Dobrodošli!","electron.onboarding.workspace.continue":"Nadaljuj","electron.onboarding.workspace.empty":"Za nadaljevanje dodajte projekt.","electron.onboarding.workspace.listLabel":"Razpoložljivi projekti","electron.onboarding.workspace.loading":"Nalaganje projektov …","electron.onboarding.workspace.openFolder":"Dodaj projekt","electron.onboarding.workspace.selectAll":"Izberi vse","electron.onboarding.workspace.skip":"Preskoči","electron.onboarding.workspace.skip.error":"Ni bilo mogoče ustvariti novega projekta: {message}","electron.onboarding.workspace.skip.error.unknown":"Neznana napaka","electron.onboarding.workspace.skipping":"Ustvarjanje novega projekta …","electron.onboarding.workspace.subtitle":"Codex bo lahko urejal datoteke in izvajal ukaze v izbranih mapah.","electron.onboarding.workspace.title":"Izberite projekt","errorPage.list.checkSettings":"Poskusite posodobiti nastavitve za IDE","errorPage.list.configToml":"Preverite neveljavne nastavitve za config.toml","errorPage.list.downloadExtension":"Poskusite prenesti drugo različico razširitve","errorPage.list.runInWsl":"Če imate težave z združljivostjo, preverite nastavitve, da onemogočite izvajanje v WSL-ju","execApprovalRequest.menu.runAlways":"Da in v tej seji ne sprašuj več","execApprovalRequest.menu.runAlwaysWithAmendment":"Da, in ne zahtevaj več ukazov, ki se začnejo z {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Da, in ne zahtevaj več ukazov, ki se začnejo z","execApprovalRequest.menu.runOnce":"Da","execApprovalRequest.prompt":"Želite izvesti ta ukaz?","execApprovalRequest.reject":"Ne","execFooter.exitCode":"Izhodna koda {code}","execFooter.exitCode.unknown":"neznano","execFooter.success":"Uspeh","feedback.dialog.category.badResult":"Slab rezultat","feedback.dialog.category.bug":"Napaka","feedback.dialog.category.goodResult":"Dober rezultat","feedback.dialog.category.other":"Drugo","feedback.dialog.descriptionPlaceholder":"Opišite težavo tukaj","feedback.dialog.dismiss":"Zavrni","feedback.dialog.includeLogsLabel":"Vključi trenutne dnevnike sej Codexa","feedback.dialog.submit":"Oddaj","feedback.dialog.submitError":"Vaših povratnih informacij ni bilo mogoče oddati. Poskusite znova čez nekaj trenutkov.","feedback.dialog.title":"Povratne informacije","feedback.dialog.uploadedMessage.existingIssue":"obstoječe odprto vprašanje","feedback.dialog.uploadedMessage.openIssue":"odprite napako na GitHubu","feedback.dialog.uploadedMessage.withThread":"Povratne informacije so bile naložene. Če težave ni mogoče odpraviti, {openIssueLink} ali pa navedite ID pogovora v {existingIssueLink}:","feedback.dialog.uploadedTitle":"Povratne informacije so bile naložene","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Odstrani {filename}","header.back":"Nazaj","header.recentChats":"Naloge","header.recentTasks.seeAll":"Prikaži vse ({total})","home.header.getPlus":"Pridobite Plus","home.hero.letsBuild":"Gradimo","homePage.mainContent":"Osrednja vsebina","imageAttachment.defaultName":"slika","imageAttachment.preview.close":"Zapri predogled slike","imageAttachment.removeAriaLabel":"Odstrani {filename}","implementPlanRequest.option.implement":"Da, izvedi ta načrt","implementPlanRequest.prompt":"Želite izvesti ta načrt?","inbox.archived.deleteError":"Arhivirane izvedbe ni bilo mogoče izbrisati","inbox.archived.deleteRun":"Izbriši arhivirano izvedbo","inbox.archived.deleteSuccess":"Arhiviran pogovor je bil izbrisan. Oglejte si <settingsLink>arhivirane pogovore</settingsLink>.","inbox.archived.inlineLabel.auto":"Ta pogovor je bil samodejno arhiviran. <learnMoreLink>Izvedite več</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ta pogovor je bil arhiviran.","inbox.archived.noMessageFound":"Sporočila ni bilo mogoče najti","inbox.automations.createError":"Avtomatizacije ni bilo mogoče ustvariti","inbox.automations.deleteConfirm.cancel":"Prekliči","inbox.automations.deleteConfirm.confirm":"Izbriši avtomatizacijo","inbox.automations.deleteConfirm.description":"S tem boste trajno izbrisali avtomatizacijo in ustavili vse prihodnje izvedbe.","inbox.automations.deleteConfirm.title":"Želite izbrisati {name}?","inbox.automations.deleteError":"Avtomatizacije ni bilo mogoče izbrisati","inbox.automations.editTooltip":"Uredite avtomatizacijo","inbox.automations.inProgress":"V teku","inbox.automations.new":"Novo","inbox.automations.newToolbar":"Nova avtomatizacija","inbox.automations.pauseTooltip":"Zaustavi avtomatizacijo","inbox.automations.resumeTooltip":"Nadaljuj avtomatizacijo","inbox.automations.startingNow":"Začenši zdaj","inbox.automations.startsIn":"Začne se {startTime}.","inbox.automations.status.active":"Aktivno","inbox.automations.status.paused":"Začasno ustavljeno","inbox.automations.status.runs":"{count} izvedb","inbox.automations.status.started":"Začeto {date}","inbox.automations.updateError":"Avtomatizacije ni bilo mogoče posodobiti","inbox.automations.workspaceFallback":"–","inbox.filter.all":"Vse","inbox.filter.ariaLabel":"Filtriraj elemente v nabiralniku","inbox.filter.unread":"Ni prebrano","inbox.list.archived":"Arhivirano","inbox.list.inProgress":"V teku","inbox.list.recent":"Končano","inbox.list.upNext":"Načrtovano","inbox.mode.automations":"Avtomatizacije","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Ni opisa","inbox.openThread":"Odpri pogovor","inbox.rightPanel.emptySubtitle":"Avtomatizirajte delo z nastavitvijo načrtovanih nalog","inbox.rightPanel.emptySubtitle.learnMore":"Avtomatizirajte delo z nastavitvijo načrtovanih pogovorov. <link>Izvedite več</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktivna avtomatizacija} two {# aktivni avtomatizaciji} few {# aktivne avtomatizacije} other {# aktivnih avtomatizacij}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Ni neprebranih avtomatizacij","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# neprebrana avtomatizacija} two {# neprebrani avtomatizaciji} few {# neprebrane avtomatizacije} other {# neprebranih avtomatizacij}}","inbox.rightPanel.emptyTitle":"Noben element ni izbran","inbox.rightPanel.noThread":"Za ta element ni pogovora","inbox.rightPanel.quickStart.header":"Začni s predlogo","inbox.untitled":"Neimenovan element v nabiralniku","loadingPage.documentationLink":"dokumentacija","loadingPage.errorDescription":"Codex se je sesul zaradi naslednje napake:","loadingPage.errorDescription.documentation":"Kliknite »Znova naloži«, da znova zaženete razširitev za Codex, ali pa obiščite našo stran {documentationLink} za dodatno pomoč.","loadingPage.errorSignal":"Nekaj ​​stvari, ki jih lahko poskusite:","loadingPage.errorTitle":"Prišlo je do napake","loadingPage.openConfigToml":"Odpri config.toml","loadingPage.reload":"Znova naloži","localConversation.contextCompacted":"Kontekst se samodejno stisne","localConversation.contextCompacting":"Samodejno stiskanje konteksta","localConversation.forkedFromConversation":"Osamitev iz {threadTitle}","localConversation.merge.autoResolve.failed":"Zahteva za samodejno razrešitev ni uspela: {error}","localConversation.merge.autoResolve.sent":"Zahteva za samodejno razrešitev je bila poslana","localConversation.merge.autoResolveMerge.missingConversation":"Ni mogoče samodejno razrešiti brez aktivnega pogovora.","localConversation.merge.autoResolveMerge.request":"Samodejno razreševanje konfliktov pri združevanju","localConversation.modelChanged":"Model se je spremenil iz {fromModel} v {toModel}.","localConversation.modelChanged.warning.line1":"Menjava modelov sredi pogovora bo poslabšala delovanje.","localConversation.modelChanged.warning.line2":"Kontekst se lahko samodejno stisne.","localConversation.moveThread.createBranch.label":"Ustvari vejo","localConversation.moveToLocal.disabled.loading":"Nalaganje …","localConversation.moveToLocal.modal.continue":"Nadaljuj","localConversation.moveToLocal.modal.destinationLabel":"Premakni v","localConversation.moveToLocal.modal.retry":"Poskusi znova","localConversation.moveToWorktree.modal.back":"Nazaj","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Veja že obstaja.","localConversation.moveToWorktree.modal.branchesError":"Vej ni bilo mogoče naložiti","localConversation.moveToWorktree.modal.branchesLoading":"Nalaganje vej …","localConversation.moveToWorktree.modal.branchesRetry":"Poskusi znova","localConversation.moveToWorktree.modal.continue":"Nadaljuj","localConversation.moveToWorktree.modal.retry":"Poskusi znova","localConversation.moveToWorktree.modal.trailingSlashError":"Ime veje se ne sme končati z »/«.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nova-veja","localConversation.personalityChanged":"Preklopljeno je bilo na osebnost {personality}","localConversation.planSummary.collapse":"Strni povzetek naročniškega paketa","localConversation.planSummary.collapseTooltip":"Strni","localConversation.planSummary.download":"Prenesi načrt","localConversation.planSummary.expand":"Razširi povzetek naročniškega paketa","localConversation.planSummary.expandTooltip":"Razširi","localConversation.planSummary.openInNewWindow":"Odpri","localConversation.planSummary.openInNewWindow.tooltip":"Odpri v novem oknu","localConversation.planSummary.title":"Načrtuj","localConversation.planSummary.titleWriting":"Načrt pisanja","localConversation.planSummary.viewPlan":"Razširi naročniški paket","localConversation.remoteTaskCreated":"V Codex Cloudu je bilo ustvarjeno: {taskLink}","localConversation.remoteTaskCreated.task":"naloga","localConversation.scrollToBottomButton":"Pomakni se na dno","localConversation.sync.buttonLabel":"Predaj v lokalno okolje","localConversation.sync.buttonLabel.tooltip":"Spremembe se prenašajo med tem delovnim drevesom in vašo lokalno izbiro.","localConversation.sync.modal.loading.title":"Predaja sprememb …","localConversation.sync.modal.noChanges":"Ni sprememb","localConversation.syncSetup.branchAriaLabel":"Ime veje","localConversation.syncSetup.branchName":"Ime veje","localConversation.syncSetup.branchPlaceholder.existing":"Izberite obstoječo vejo","localConversation.syncSetup.branchPlaceholder.new":"codex/nova-funkcija","localConversation.syncSetup.branchesLoading":"Nalaganje vej …","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Že izbrano","localConversation.syncSetup.checkoutClean":"Trenutno na {branchName}","localConversation.syncSetup.checkoutDirty":"Trenutno na {branchName} z nezapisanimi spremembami","localConversation.syncSetup.checkoutError":"Veje ni bilo mogoče izbrati: {message}","localConversation.syncSetup.checkoutLabel":"Izberi lokalno zdaj","localConversation.syncSetup.checkoutOnLocal":"Predaj v lokalno okolje","localConversation.syncSetup.checkoutPending":"Preverjanje lokalnega stanja …","localConversation.syncSetup.checkoutUnavailable":"Lokalni delovni prostor ni na voljo","localConversation.syncSetup.checkoutUnknown":"Lokalna veja ni na voljo","localConversation.syncSetup.continue":"Nadaljuj","localConversation.syncSetup.createBranchError":"Veje za predajo ni bilo mogoče ustvariti: {message}","localConversation.syncSetup.error":"Nekaj je šlo narobe: {message}","localConversation.syncSetup.error.workingTreeMissing":"Posnetka delovnega drevesa ni bilo mogoče narediti. Poskusite znova predati.","localConversation.syncSetup.mode.ariaLabel":"Izberi način veje","localConversation.syncSetup.mode.existing":"Obstoječa veja","localConversation.syncSetup.mode.new":"Nova veja","localConversation.syncSetup.noBranches":"Vej ni bilo mogoče najti","localConversation.syncSetup.overwriteError":"Veja je bila ustvarjena, vendar ni v celoti predana. Preden jo izberete v lokalnem okolju, jo ročno predajte.","localConversation.syncSetup.setPrefix":"Nastavi predpono","localConversation.syncSetup.subtitle":"Lokalno preizkusite in uredite spremembe delovnega drevesa. <a>Izvedite več</a>","localConversation.syncSetup.success.checkedOut":"Veja je bila ustvarjena in je lokalno izbrana","localConversation.syncSetup.success.notCheckedOut":"Veja je bila ustvarjena","localConversation.syncSetup.title":"Predajte v lokalno vejo","localConversation.syncWorktreeError.branchAriaLabel":"Ime veje","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/nova-funkcija","localConversation.syncWorktreeError.branchSetup.subtitle":"Izberite vejo, ki ji želite predati spremembe, nato pa poskusite spremembe znova naložiti.","localConversation.syncWorktreeError.branchSetup.title":"Posodobi vejo","localConversation.syncWorktreeError.branchUpdate.cta":"Posodobi in poskusi znova","localConversation.syncWorktreeError.branchUpdate.error":"Veje ni bilo mogoče posodobiti: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Nekaj je šlo narobe: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Veja ni izbrana v nobenem delovnem drevesu.","localConversation.syncWorktreeV2.applyUncommitted":"Uporabi","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Za uporabo nezapisanih sprememb morate lokalno izbrati vejo","localConversation.syncWorktreeV2.branches.empty":"Vej ni bilo mogoče najti","localConversation.syncWorktreeV2.branches.loading":"Nalaganje vej …","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Spremeni vejo za predajo","localConversation.syncWorktreeV2.changeBranch.error":"Veje za predajo ni bilo mogoče spremeniti: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Ni bilo mogoče uporabiti","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Delovnega drevesa ni bilo mogoče prepisati","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Lokalnih sprememb ni bilo mogoče prepisati","localConversation.syncWorktreeV2.commandError.back":"Nazaj","localConversation.syncWorktreeV2.commandError.body":"Ukaz git ni uspel med predajo. Preglejte rezultat in poskusite znova.","localConversation.syncWorktreeV2.commandError.retry":"Poskusi znova","localConversation.syncWorktreeV2.description":"Predajte spremembe med lokalnim in tem delovnim drevesom. <a>Izvedite več</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Izberi smer predaje","localConversation.syncWorktreeV2.error.generic":"Nekaj je šlo narobe med predajo. Poskusite znova.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalno","localConversation.syncWorktreeV2.noChanges":"Izračunavanje sprememb","localConversation.syncWorktreeV2.noChanges.summary":"Ni sprememb","localConversation.syncWorktreeV2.overwrite.local":"Prepiši lokalne spremembe","localConversation.syncWorktreeV2.overwrite.worktree":"Prepiši delovno drevo","localConversation.syncWorktreeV2.partial.action.applyFailed":"Sprememb ni bilo mogoče uporabiti","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Lokalnih sprememb ni bilo mogoče prepisati","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Sprememb delovnega drevesa ni bilo mogoče prepisati","localConversation.syncWorktreeV2.partial.appliedLabel":"Uporabljeno","localConversation.syncWorktreeV2.partial.back":"Nazaj","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Rešite konflikte in poskusite znova.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikti","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {Raziskana je bila # datoteka} two {# datotek} few {# datotek} other {# datotek}}","localConversation.syncWorktreeV2.partial.retry":"Poskusi znova","localConversation.syncWorktreeV2.partial.skippedLabel":"Preskočeno","localConversation.syncWorktreeV2.stateFailed.generic":"Pri pridobivanju sprememb delovnega drevesa za predajo je prišlo do napake. Poskusite znova.","localConversation.syncWorktreeV2.stateFailed.title":"Sprememb delovnega drevesa ni bilo mogoče naložiti","localConversation.syncWorktreeV2.statusError.diffUnknown":"Sprememb delovnega drevesa ni bilo mogoče naložiti.","localConversation.syncWorktreeV2.statusError.retry":"Poskusi znova","localConversation.syncWorktreeV2.statusError.title":"Sprememb lokalne veje ni bilo mogoče naložiti","localConversation.syncWorktreeV2.statusError.unknown":"Status veje trenutno ni na voljo. Poskusite znova.","localConversation.syncWorktreeV2.success.apply":"Spremembe so bile uspešno uporabljene","localConversation.syncWorktreeV2.success.overwrite":"Predaja je bila uspešna","localConversation.syncWorktreeV2.title":"Prenesite spremembe","localConversation.syncWorktreeV2.worktreeLabel":"Delovno drevo","localConversation.userInputRequest.inProgress":"Postavljanje {count, plural, one {vprašanja} two {vprašanj} few {vprašanj} other {vprašanj}}","localConversation.userInputRequest.noAnswer":"Ni podanih odgovorov","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Postavljeno:","localConversation.userInputRequest.summary.count":"{count, plural, one {# vprašanje} two {# vprašanji} few {# vprašanja} other {# vprašanj}}","localConversation.workedFor":"Delovanje {time}","localConversation.worktreeBranchSetup.action.create":"Ustvari","localConversation.worktreeBranchSetup.branchAriaLabel":"Ime veje","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Ustvari novo vejo","localConversation.worktreeBranchSetup.checkoutDisabled":"Ta veja je že izbrana {location}","localConversation.worktreeBranchSetup.checkoutError":"Veje ni bilo mogoče izbrati: {message}","localConversation.worktreeBranchSetup.createBranchError":"Veje ni bilo mogoče nastaviti: {message}","localConversation.worktreeBranchSetup.error":"Nekaj je šlo narobe: {message}","localConversation.worktreeBranchSetup.subtitle":"Ustvarite vejo za zapis sprememb, pošiljanje in ustvarjanje zahteve za združitev kode iz tega delovnega drevesa. <a>Izvedite več</a>","localConversation.worktreeBranchSetup.title":"Delajte tukaj","localConversationPage.addWorktreeToSidebar.tooltip":"Shrani kot projekt, da lahko začneš nove pogovore iz tega delovnega drevesa","localConversationPage.addWorktreeToSidebarError":"Projekta ni bilo mogoče dodati","localConversationPage.commitAndCreatePrModal.errorTitle":"Ni bilo mogoče zapisati sprememb in ustvariti zahteve za združitev kode","localConversationPage.commitAndCreatePrModal.successTitle":"Spremembe so bile zapisane in zahteva za združitev kode je bila ustvarjena","localConversationPage.commitAndPushModal.errorTitle":"Sprememb ni bilo mogoče zapisati in jih poslati","localConversationPage.commitAndPushModal.successTitle":"Spremembe so bile zapisane in poslane","localConversationPage.commitCreatePr.open":"Odpri zahtevo za združitev kode","localConversationPage.commitCreatePr.successTitle":"Ustvarjena zahteva za združitev kode z najnovejšimi spremembami","localConversationPage.createBranchButtonLabel":"Tukaj ustvari vejo","localConversationPage.createPrModal.baseBranch":"Osnova","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Ustvari zahtevo za združitev kode","localConversationPage.createPrModal.createDescription":"Odprite zahtevo za združitev kode za vaše najnovejše spremembe.","localConversationPage.createPrModal.errorTitle":"Zahteva za združitev kode ni uspela","localConversationPage.createPrModal.headBranch":"Glava","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Odpri zahtevo za združitev kode","localConversationPage.createPrModal.successTitle":"Zahteva za združitev kode je bila ustvarjena","localConversationPage.createPrModal.title":"Ustvari zahtevo za združitev kode","localConversationPage.createPrModal.viewDescription":"Za to vejo že obstaja zahteva za združitev kode.","localConversationPage.createPrModal.viewTitle":"Zahteva za združitev kode je pripravljena","localConversationPage.createPullRequestAuthGh":"Preverjanje pristnosti v GitHub CLI: zaženite `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Podatki o veji niso na voljo","localConversationPage.createPullRequestButtonLabel":"Ustvari zahtevo za združitev kode","localConversationPage.createPullRequestButtonLabel.loading":"Ustvarjanje zahteve za združitev kode …","localConversationPage.createPullRequestDefaultBranchMissing":"Podatki o privzeti veji niso na voljo","localConversationPage.createPullRequestError":"Zahteve za združitev kode ni bilo mogoče ustvariti","localConversationPage.createPullRequestExistingPullRequest":"Za to vejo že obstaja zahteva za združitev kode","localConversationPage.createPullRequestGhStatusMissing":"Nalaganje stanja GitHub CLI …","localConversationPage.createPullRequestInstallGh":"Namesti GitHub CLI (gh) za ustvarjanje zahtev za združitev kode","localConversationPage.createPullRequestNoRepo":"Ni najdene shrambe na Gitu","localConversationPage.createPullRequestPushStatusMissing":"Nalaganje statusa pošiljanja sprememb …","localConversationPage.createPullRequestSetUpstream":"Pošlji spremembe te veje, preden ustvariš zahtevo za združitev kode","localConversationPage.createPullRequestSuccessToast":"Zahteva za združitev kode je bila ustvarjena","localConversationPage.createPullRequestSwitchBranch":"Pred ustvarjanjem zahteve za združitev kode preverite vejo funkcij","localConversationPage.error.render":"Pri upodabljanju lokalnega pogovora je prišlo do napake","localConversationPage.error.toast":"Pogovora ni bilo mogoče najti","localConversationPage.forcePushError":"Prisilno pošiljanje sprememb ni uspelo","localConversationPage.generatePullRequestMessageError":"Naslova in telesa zahteve za vlečenje ni bilo mogoče ustvariti.","localConversationPage.generatePullRequestMessageFailed":"Naslova in telesa zahteve za vlečenje ni bilo mogoče ustvariti.","localConversationPage.gitActionResult.branch":"Veja","localConversationPage.gitActionResult.cancel":"Prekliči","localConversationPage.gitActionResult.close":"Zapri","localConversationPage.gitActionResult.tryAgain":"Poskusi znova","localConversationPage.gitActions":"Dejanja na Gitu","localConversationPage.newChat":"Nov klepet","localConversationPage.openInTarget":"Odpri v","localConversationPage.openPrimaryTarget":"Odpri","localConversationPage.planItemsCompleted":"{completedItems} od {totalItems, plural, one {# naloga je končana} two {# nalogi sta končani} few {# naloge so končane} other {# nalog je končanih}}","localConversationPage.pushAuthError":"Sprememb ni bilo mogoče poslati: potrebno je preverjanje pristnosti","localConversationPage.pushBranchMissing":"Podatki o veji niso na voljo","localConversationPage.pushButtonLabel":"Potisna obvestila","localConversationPage.pushButtonLabel.loading":"Pošiljanje sprememb …","localConversationPage.pushError":"Sprememb ni bilo mogoče poslati","localConversationPage.pushModal.branchLabel":"Veja","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Prekliči","localConversationPage.pushModal.confirm":"Pošlji spremembe","localConversationPage.pushModal.description":"Pošljite svoje najnovejše zapise spremembe v oddaljeno shrambo.","localConversationPage.pushModal.errorTitle":"Sprememb ni bilo mogoče poslati","localConversationPage.pushModal.forcePush":"Prisilno pošlji spremembe","localConversationPage.pushModal.successTitle":"Spremembe so bile poslane","localConversationPage.pushModal.title":"Pošlji spremembe","localConversationPage.pushModal.tryAgain":"Poskusi znova","localConversationPage.pushNoUpstream":"Pred pošiljanjem sprememb te veje nastavite izvirno vejo","localConversationPage.pushNoUpstreamError":"Sprememb ni bilo mogoče poslati: izvirna veja ni konfigurirana","localConversationPage.pushNothingToPush":"Ni novih zapisov sprememb za pošiljanje","localConversationPage.pushRemoteChangedError":"Sprememb ni bilo mogoče poslati: oddaljena shramba ima nove zapise sprememb","localConversationPage.pushRemoteRejectedError":"Oddaljena shramba je zavrnila pošiljanje sprememb","localConversationPage.pushStatusMissing":"Nalaganje statusa pošiljanja sprememb …","localConversationPage.pushSuccessToast":"Spremembe so bile poslane","localConversationPage.viewPullRequestButtonLabel":"Prikaži zahtevo za združitev kode","localConversationPage.viewPullRequestButtonLabel.loading":"Nalaganje zahteve za prevzem …","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {Raziskana je bila # datoteka} two {Raziskani sta bili # datoteki} few {Raziskanih je bilo # datotek} other {Raziskanih je bilo # datotek}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# seznam} two {# seznama} few {# seznami} other {# seznamov}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# iskanje} two {# iskanji} few {# iskanja} other {# iskanj}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Raziskovanje","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Raziskano","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} je bilo raziskano","localConversationTurnStory.showContent":"Prikaži vsebino","localConversationTurnStory.streamContent":"Pretočno predvajanje vsebine","localConversationTurnStory.toggleReasoning":"Pokaži sklepanje","localTaskRow.archiveError":"Pogovora ni bilo mogoče arhivirati","localTaskRow.resumeError":"Naloge ni bilo mogoče nadaljevati","mermaidDiagram.ariaLabel":"Diagram v jeziku Mermaid","mermaidDiagram.copySource":"Kopiraj Mermaid","mermaidDiagram.originalCode":"Izvorna koda v jeziku Mermaid","notifications.permissions.description":"Prikaži opozorila, ko so potrebna dovoljenja za obvestila","notifications.permissions.label":"Omogoči obvestila o dovoljenjih","notifications.turnMode.always":"Vedno","notifications.turnMode.description":"Nastavite, kdaj naj vas Codex opozori, da je končano","notifications.turnMode.label":"Vklopi obvestila o dokončanju","notifications.turnMode.off":"Nikoli","notifications.turnMode.unfocused":"Samo ko ni osredotočeno","patchApprovalRequest.approve":"Odobri","patchApprovalRequest.menu.allowAlways":"Da in v tej seji ne sprašuj več","patchApprovalRequest.menu.allowForSession":"Da in v tej seji ne sprašuj več","patchApprovalRequest.menu.allowOnce":"Da","patchApprovalRequest.prompt":"Želite narediti te spremembe?","patchApprovalRequest.reject":"Ne","patchApprovalRequest.waitingForApproval":"Čakanje na odobritev za urejanje datotek","pendingRequest.approvalExec.collapse":"Strni","pendingRequest.approvalExec.expand":"Razširi","pendingRequestStory.toastAnswer":"Odgovor: {answer}","pendingRequestStory.toastApprovalTitle":"Odgovor na odobritev","pendingRequestStory.toastFollowupPrompt":"Poziv: {prompt}","pendingRequestStory.toastFollowupTitle":"Dodatno sporočilo je bilo poslano","pendingRequestStory.toastNoAnswers":"Ni podanih odgovorov","pendingRequestStory.toastQuestion":"Vprašanje: {question}","pendingRequestStory.toastUnknownDecision":"Neznano","pendingRequestStory.toastUserInputTitle":"Poslani odgovori","quickAction.request.codeReview.branches.new":"Preglej spremembe {from} glede na {to}","quickAction.request.codeReview.uncommitted.new":"Preglej moje nezapisane spremembe","reasoningItem.thinking":"Razmišljanje","reasoningItem.thought":"Razmišljanje je končano","reasoningItem.thoughtWithElapsed":"Misel za {elapsed}","recentConversations.title":"Nedavni pogovori","recentTasks.worktreeInitFailedTitle":"Inicializacija delovnega drevesa ni uspela","recentTasks.worktreeSettingUpTitle":"Vzpostavljanje delovnega drevesa","requestInputPanel.continue":"Nadaljuj","requestInputPanel.dismiss":"Zavrni","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Vnesite tukaj","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ne in povejte Codexu, kaj naj stori drugače","requestInputPanel.selectedBadge":"Izbrano","requestInputPanel.skip":"Preskoči","requestInputPanel.submit":"Oddaj","review.commit.ariaLabel.includeUnstaged":"Vključi narejene spremembe","review.commit.buttonLabel":"Zapis sprememb","review.commit.disabled.committing":"Zapisovanje sprememb …","review.commit.disabled.loadingDiff":"Nalaganje razlik …","review.commit.disabled.missingContext":"Dodajte nekaj konteksta za generiranje sporočila o potrditvi","review.commit.disabled.noChanges":"Ni sprememb za zapis","review.commit.disabled.noSelection":"Izberite spremembe za zapis","review.commit.disabled.unavailable":"Zapisovanje sprememb trenutno ni na voljo","review.commit.error":"Sprememb ni bilo mogoče zapisati","review.commit.form.changesToBeCommitted":"Spremembe","review.commit.form.commitTo":"Veja","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Nadaljuj","review.commit.form.title":"Zapišite svoje spremembe","review.commit.generate.emptyResponse":"Sporočila o potrditvi ni bilo mogoče ustvariti.","review.commit.generate.failed":"Sporočila o potrditvi ni bilo mogoče ustvariti: {error}","review.commit.generate.missingPrompt":"Dodajte nekaj konteksta za generiranje sporočila o potrditvi.","review.commit.includeUnstaged":"Vključi narejene spremembe","review.commit.loading.description":"Počakajte, to lahko traja nekaj trenutkov ...","review.commit.loading.step.commit.done":"Zapisane spremembe","review.commit.loading.step.commit.pending":"Zapisovanje sprememb","review.commit.loading.step.createPr.done":"Ustvarjena je bila zahteve za združitev kode","review.commit.loading.step.createPr.pending":"Ustvarjanje zahteve za združitev kode","review.commit.loading.step.push.done":"Poslano v vejo {branch}","review.commit.loading.step.push.pending":"Pošiljanje v vejo {branch}","review.commit.loading.title.commit":"Zapisovanje sprememb","review.commit.loading.title.createPr":"Ustvarjanje zahteve za združitev kode","review.commit.loading.title.push":"Pošiljanje sprememb","review.commit.messageLabel":"Sporočilo zapisa sprememb","review.commit.messagePlaceholder":"Pustite prazno, da samodejno ustvarite sporočilo o zapisu sprememb","review.commit.nextSteps":"Naslednji koraki","review.commit.nextSteps.commit":"Zapis sprememb","review.commit.nextSteps.commitAndCreate":"Zapiši spremembe in ustvari zahtevo za združitev kode","review.commit.nextSteps.commitAndPush":"Zapiši in pošlji spremembe","review.commit.nextSteps.prRequiresGh":"Zahteva GitHub CLI: {command}","review.commit.rows.changes":"Spremembe","review.commit.rows.commitCount":"{count, plural, one {# zapis sprememb} two {# zapisa sprememb} few {# zapisi sprememb} other {# zapisov sprememb}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# zapis sprememb} two {# zapisa sprememb} few {# zapisi sprememb} other {# zapisov sprememb}} in {stats}","review.commit.rows.fileCount":"{count, plural, one {Raziskana je bila # datoteka} two {# datotek} few {# datotek} other {# datotek}}","review.commit.state.error.body":"Med zapisovanjem sprememb je prišlo do napake. Preverite stanje gita in poskusite znova.","review.commit.state.error.title":"Zapisovanje sprememb ni uspelo","review.commit.state.success.title":"Spremembe so bile zapisane","review.commit.untracked.loadingStats":"Nalaganje statistike razlik brez sledenja …","reviewFindingAttachments.count":"{count, plural, one {# izsledek} two {# izsledka} few {# izsledki} other {# izsledkov}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Uredite konfiguracijo, da prilagodite delovanje agenta","settings.agent.configuration.configToml.docs":"Dokumenti","settings.agent.configuration.configToml.restartNote":"Po urejanju znova zaženite Codex, da uporabite spremembe","settings.agent.configuration.subtitle":"Te nastavitve veljajo povsod, kjer se uporablja Codex","settings.automations.banner.danger":"Avtomatizacije se izvajajo z vašimi privzetimi nastavitvami peskovnika, ki so trenutno nastavljene na poln dostop. Izvajanje avtomatizacij v ozadju s polnim dostopom predstavlja povečano tveganje, saj lahko Codex spreminja datoteke, izvaja ukaze in samodejno dostopa do omrežja. Razmislite o posodobitvi nastavitev peskovnika na pisanje v delovnem prostoru in uporabi <rulesDocsLink>pravil</rulesDocsLink> za selektivno določanje, katere ukaze lahko agent izvaja s polnim dostopom.","settings.automations.banner.defaultHowTo.default":"Avtomatizacije se izvajajo z vašimi privzetimi nastavitvami peskovnika. Klici orodij ne bodo uspešni, če zahtevajo spreminjanje datotek zunaj delovnega prostora, dostop do omrežja ali delo z aplikacijami na računalniku. Ukaze za izvajanje zunaj peskovnika lahko z uporabo <rulesDocsLink>pravil</rulesDocsLink> selektivno dodate na seznam dovoljenih.","settings.automations.banner.defaultHowTo.readOnly":"Avtomatizacije se izvajajo s privzetimi nastavitvami peskovnika, ki so nastavljene samo na branje. Klici orodij ne bodo uspešni, če zahtevajo spreminjanje datotek, dostop do omrežja ali delo z aplikacijami na računalniku. Razmislite o posodobitvi nastavitev peskovnika na pisanje v delovnem prostoru.","settings.automations.cancel":"Prekliči","settings.automations.create":"Ustvari","settings.automations.cwdEmpty":"Mape projektov niso na voljo","settings.automations.cwdLabel":"Projekti","settings.automations.cwdPlaceholder":"Izberite mapo","settings.automations.cwdSubtitle":"Če želite, da se avtomatizacija izvaja na določeni veji, jo lahko določite v pozivu.","settings.automations.delete":"Izbriši","settings.automations.dialog.editTitle":"Uredite avtomatizacijo","settings.automations.dialog.newTitle":"Nova avtomatizacija","settings.automations.dialog.subtitle":"Avtomatizirajte ponavljajoča se opravila v ozadju. Codex doda izsledke v nabiralnik ali pa nalogo samodejno arhivira, če ni ničesar za poročanje. <learnMoreLink>Izvedite več</learnMoreLink>","settings.automations.dialog.title":"Ustvarite avtomatizacijo","settings.automations.executionCopy.git":"Avtomatizacije se izvajajo v ozadju na namenskih delovnih drevesih.","settings.automations.executionCopy.nonGit":"Avtomatizacije na projektih brez nadzora različic se izvajajo neposredno v imeniku projektov. Razmislite o uporabi Gita, da omogočite izvajanje v delovnih drevesih v ozadju.","settings.automations.executionEnvironment.local":"Lokalno","settings.automations.executionEnvironment.worktree":"Delovno drevo","settings.automations.loading":"Nalaganje …","settings.automations.nameLabel":"Ime","settings.automations.namePlaceholder":"Preverite težave sentry","settings.automations.pause":"Začasno ustavi","settings.automations.promptLabel":"Poziv","settings.automations.promptPlaceholder":"poiščite prekinitve delovanja v $Sentry","settings.automations.resume":"Nadaljuj","settings.automations.rruleSummaryFallback":"Razpored po meri","settings.automations.runNow":"Preizkus","settings.automations.save":"Shrani","settings.automations.scheduleBadge.dayCount":"{count} dni","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Delovniki","settings.automations.scheduleBadge.weekends":"Konci tedna","settings.automations.scheduleHeader":"Razpored","settings.automations.scheduleHours":"ure","settings.automations.scheduleLabel":"Izvedi vsakih","settings.automations.scheduleMode.daily":"Dnevno","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Vrsta urnika","settings.automations.scheduleSummary.daily":"Dnevno ob {time}","settings.automations.scheduleSummary.interval":"Vsakih {count} ur","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dnevu} two {# dneh} few {# dneh} other {# dneh}}","settings.automations.scheduleSummary.intervalDays":"{interval} na {days}","settings.automations.scheduleSummary.intervalHourly":"Urno","settings.automations.scheduleSummary.singleDay":"{day} ob {time}","settings.automations.scheduleSummary.weekdays":"Delovniki ob {time}","settings.automations.scheduleSummary.weekdaysLabel":"delovniki","settings.automations.scheduleSummary.weekends":"Konec tedna ob {time}","settings.automations.scheduleSummary.weekendsLabel":"konec tedna","settings.automations.scheduleSummary.weekly":"{days} ob {time}","settings.automations.scheduleWeekdays":"Vklopljeno","settings.automations.weekdayState.excluded":"Izključeno","settings.automations.weekdayState.included":"Vključeno","settings.conversationDetail.steps":"Koraki","settings.conversationDetail.steps.description":"Skrij ukaze in izpise","settings.conversationDetail.stepsWithCommands":"Koraki z ukazi kode","settings.conversationDetail.stepsWithCommands.description":"Prikaži ukaze, strni izpis","settings.conversationDetail.stepsWithOutput":"Koraki z izpisom kode","settings.conversationDetail.stepsWithOutput.description":"Prikaži ukaze in razširi izpis","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ni arhiviranih klepetov.","settings.dataControls.archivedChats.error":"Arhiviranih klepetov ni bilo mogoče naložiti.","settings.dataControls.archivedChats.loading":"Nalaganje arhiviranih klepetov …","settings.dataControls.archivedChats.unarchive":"Odstrani iz arhiva","settings.dataControls.archivedChats.unarchiveError":"Klepeta ni bilo mogoče vzeti iz arhiva","settings.dataControls.archivedChats.unarchiveSuccess":"Pogovor ni arhiviran. <viewNowLink>Oglejte si zdaj</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Nearhiviran pogovor.","settings.dataControls.archivedChats.untitled":"Klepet brez naslova","settings.dataControls.archivedChats.viewNow":"Prikaži zdaj","settings.editRow.headerPlaceholder":"Ključ","settings.editRow.removeEntry":"Odstrani vnos","settings.editRow.valuePlaceholder":"Vrednost","settings.general.appearance":"Videz","settings.general.appearance.codeFont":"Pisava kode","settings.general.appearance.codeFont.description":"Prilagodite pisavo in velikost, ki se uporablja za kodo v klepetih in razlikah","settings.general.appearance.codeFontFamily":"Družina pisave za kodo","settings.general.appearance.codeFontSize":"Velikost pisave kode","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Okna naj uporabljajo enobarvno ozadje namesto sistemske prosojnosti","settings.general.appearance.opaqueWindows.label":"Uporabi neprosojno ozadje okna","settings.general.appearance.sansFontFamily":"Družina pisave Sans","settings.general.appearance.sansFontFamily.description":"Prilagodite pisavo, ki se uporablja za uporabniški vmesnik Codexa","settings.general.appearance.sansFontSize":"Velikost pisave Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Prikaži vizualne učinke praznovanja v celozaslonskem načinu, medtem ko GPT-5.3-Codex-Spark izvaja prvi korak","settings.general.appearance.sparkCelebrationEffects.label":"Vizualni učinki praznovanja","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Temna","settings.general.appearance.theme.description":"Uporabite svetlo, temno ali skladno s sistemom","settings.general.appearance.theme.light":"Svetla","settings.general.appearance.theme.system":"Sistemska","settings.general.appearance.usePointerCursors.description":"Spremeni kurzor v kazalec, ko se miška premakne nad interaktivne elemente","settings.general.appearance.usePointerCursors.label":"Uporaba kazalcev","settings.general.enterBehavior.description":"Ko je omogočeno, večvrstični pozivi zahtevajo {modifierSymbol} + enter za pošiljanje.","settings.general.enterBehavior.label":"Zahteva {modifierSymbol} + enter, da pošljete dolge pozive","settings.general.experimentalFeatures":"Testne funkcije (beta)","settings.general.experimentalFeatures.empty":"Beta testne funkcije niso na voljo.","settings.general.experimentalFeatures.loading":"Nalaganje testnih funkcij …","settings.general.experimentalFeatures.restartNote":"Za uporabo sprememb testnih funkcij znova zaženite Codex","settings.general.experimentalFeatures.toggle":"Preklopi na {featureName}","settings.general.followUpQueueMode.description":"Dodajte nadaljnje korake v čakalno vrsto, medtem ko se Codex izvaja, ali vodite trenutno izvajanje. Pritisnite {invertFollowUpShortcutLabel}, če želite za eno sporočilo storiti nasprotno.","settings.general.followUpQueueMode.interrupt":"Vodenje","settings.general.followUpQueueMode.label":"Nadaljnje vedenje","settings.general.followUpQueueMode.queue":"Čakalna vrsta","settings.general.notifications":"Obvestila","settings.general.power.preventSleepWhileRunning.description":"Medtem ko Codex izvaja pogovor, naj bo računalnik v aktivnem stanju.","settings.general.power.preventSleepWhileRunning.label":"Preprečite spanje med izvajanjem","settings.git.branchPrefix.ariaLabel":"Predpona veje","settings.git.branchPrefix.description":"Predpona, ki se uporablja pri ustvarjanju novih vej v Codexu","settings.git.branchPrefix.label":"Predpona veje","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Predpone veje ni bilo mogoče shraniti","settings.git.branchPrefix.save.success":"Predpona veje je bila shranjena","settings.git.commitInstructions.ariaLabel":"Navodila za potrditev","settings.git.commitInstructions.description":"Dodano k pozivom za ustvarjanje sporočil ob potrditvi","settings.git.commitInstructions.label":"Navodila za potrditev","settings.git.commitInstructions.placeholder":"Dodaj navodila za sporočilo potrditve …","settings.git.commitInstructions.save":"Shrani","settings.git.commitInstructions.save.error":"Shranjevanje navodil za potrditev ni uspelo","settings.git.commitInstructions.save.success":"Shranjena navodila za potrditev","settings.git.forcePush.ariaLabel":"Vedno prisilno pošlji spremembe","settings.git.forcePush.description":"Pri pošiljanju sprememb iz Codexa uporabite --force-with-lease","settings.git.forcePush.label":"Vedno prisilno pošlji spremembe","settings.git.forcePush.save.disabled":"Vedno prisilno pošlji sprememb je onemogočeno","settings.git.forcePush.save.enabled":"Vedno prisilno pošlji spremembe je omogočeno","settings.git.forcePush.save.error":"Nastavitve prisilnega pošiljanja sprememb ni bilo mogoče shraniti","settings.git.prInstructions.ariaLabel":"Navodila za zahtevo za prevzem","settings.git.prInstructions.description":"Dodano telesom zahtevkov za vlečenje, ki jih je ustvaril Codex","settings.git.prInstructions.label":"Navodila za zahtevo za prevzem","settings.git.prInstructions.placeholder":"Dodajte navodila za zahtevo za prevzem …","settings.git.prInstructions.save":"Shrani","settings.git.prInstructions.save.error":"Navodil za zahtevo za prevzem ni bilo mogoče shraniti","settings.git.prInstructions.save.success":"Shranjena navodila za zahtevo za vlečenje","settings.ide.defaultOpenTarget.description":"Kje se datoteke in mape privzeto odprejo","settings.ide.defaultOpenTarget.label":"Privzeti cilj odpiranja","settings.ide.defaultOpenTarget.placeholder":"Ciljev ni bilo mogoče najti","settings.ide.language.auto":"Samodejno zaznaj","settings.ide.language.autoOption":"Samodejno zaznaj","settings.ide.language.description":"Jezik za uporabniški vmesnik aplikacije","settings.ide.language.label":"Jezik","settings.ide.language.search":"Iskanje jezikov","settings.layout.actionButton":"Znova zaženi razširitev","settings.layout.actionTitle":"Nastavitve z dejanjem","settings.layout.fullWidthTitle":"Nastavitve (polna širina)","settings.layout.title":"Nastavitve","settings.localEnvironments.actions.add":"Dodaj dejanje","settings.localEnvironments.actions.add.description":"Ustvarite nov ukaz, ki ga boste zagnali iz orodne vrstice.","settings.localEnvironments.actions.add.save":"Shrani","settings.localEnvironments.actions.empty":"Dodajte dejanje za izvajanje ukazov iz lokalne orodne vrstice.","settings.localEnvironments.actions.icon.debug":"Iskanje in odpravljanje napak","settings.localEnvironments.actions.icon.run":"Izvedi","settings.localEnvironments.actions.icon.test":"Preizkus","settings.localEnvironments.actions.icon.tool":"Orodje","settings.localEnvironments.actions.item.button.delete":"Izbriši","settings.localEnvironments.actions.item.command":"Skripta dejanja","settings.localEnvironments.actions.item.name":"Ime","settings.localEnvironments.actions.item.platforms":"Platforme","settings.localEnvironments.actions.item.platforms.help":"Deluje samo na določenem operacijskem sistemu.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Izbira platforme","settings.localEnvironments.actions.item.platforms.specific":"Specifično za platformo","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Izbriši","settings.localEnvironments.actions.title":"Dejanja","settings.localEnvironments.breadcrumb.back":"Nazaj","settings.localEnvironments.breadcrumb.edit":"uredi","settings.localEnvironments.breadcrumb.root":"Okolja","settings.localEnvironments.environment.actions.description":"Ta dejanja lahko izvedejo katerikoli ukaz in bodo prikazana v glavi.","settings.localEnvironments.environment.actionsLabel":"Dejanja","settings.localEnvironments.environment.create":"Ustvari lokalno okolje","settings.localEnvironments.environment.defaultName":"lokalno","settings.localEnvironments.environment.edit":"Uredi lokalno okolje","settings.localEnvironments.environment.empty":"Za ta projekt še ni konfigurirano nobeno lokalno okolje.","settings.localEnvironments.environment.name":"Ime","settings.localEnvironments.environment.setup":"Namestitvena skripta","settings.localEnvironments.environment.setup.description":"Ta skripta se bo zagnala, ko ustvarite delovno drevo.","settings.localEnvironments.environment.setup.hint":"Izvaja se v korenu projekta.","settings.localEnvironments.environment.setup.platformOverrides":"Preglasitve platforme","settings.localEnvironments.environment.setup.platformOverrides.add":"Dodaj namestitveno skripto {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Preglasi privzeto skripto za določene operacijske sisteme.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Odstrani","settings.localEnvironments.environment.setup.script":"Skripta","settings.localEnvironments.environment.title":"Podrobnosti o okolju","settings.localEnvironments.file.missing":"Shranite, da to datoteko ustvarite prvič.","settings.localEnvironments.file.parseError":"Obstoječe datoteke ni mogoče razčleniti. Če jo shranite, jo boste prepisali. ({error})","settings.localEnvironments.file.path":"Datoteka: {path}","settings.localEnvironments.file.readError":"Podatkov o lokalnem okolju ni bilo mogoče naložiti. ({error})","settings.localEnvironments.file.title":"Datoteka lokalnega okolja","settings.localEnvironments.loading.body":"Pridobivanje konfiguracije vašega projekta.","settings.localEnvironments.loading.title":"Nalaganje lokalnih okolij","settings.localEnvironments.preview.devOnly":"(samo za razvoj)","settings.localEnvironments.preview.save":"Shrani","settings.localEnvironments.preview.saveError":"Datoteke ni bilo mogoče shraniti. ({error})","settings.localEnvironments.preview.title":"Predogled","settings.localEnvironments.save.disabled.name":"Dodajte ime okolja za shranjevanje.","settings.localEnvironments.save.disabled.noChanges":"Ni sprememb za shranjevanje.","settings.localEnvironments.save.disabled.saving":"Shranjevanje …","settings.localEnvironments.save.success":"Lokalno okolje je bilo shranjeno","settings.localEnvironments.unavailable.body":"Za ta projekt ni bilo mogoče naložiti nastavitev lokalnega okolja.","settings.localEnvironments.unavailable.title":"Lokalna okolja niso na voljo","settings.localEnvironments.workspace.add":"Dodaj projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Dodaj okolje","settings.localEnvironments.workspaceSelect.description":"Lokalna okolja povedo Codexu, kako nastaviti delovna drevesa za projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ni še projektov. Dodajte enega za konfiguracijo lokalnih okolij.","settings.localEnvironments.workspaceSelect.errorLabel":"Okolje potrebuje pozornost","settings.localEnvironments.workspaceSelect.learnMore":"Izvedite več","settings.localEnvironments.workspaceSelect.listLabel":"Razpoložljivi projekti","settings.localEnvironments.workspaceSelect.loading":"Nalaganje projektov.","settings.localEnvironments.workspaceSelect.loadingLabel":"Okolje se nalaga","settings.localEnvironments.workspaceSelect.title":"Izberite projekt","settings.localEnvironments.workspaceSelect.viewAction":"Prikaži","settings.mcp.addServer":"Dodaj strežnik","settings.mcp.app.configure":"Konfiguracija","settings.mcp.app.connect":"Poveži","settings.mcp.apps.refresh":"Osveži","settings.mcp.detail.addArgument":"Dodaj argument","settings.mcp.detail.addEnvVar":"Dodaj spremenljivko okolja","settings.mcp.detail.addEnvVarPassthrough":"Dodaj spremenljivko","settings.mcp.detail.args":"Spremenljivke","settings.mcp.detail.back":"Nazaj","settings.mcp.detail.command":"Ukaz za zagon","settings.mcp.detail.cwd":"Delovni imenik","settings.mcp.detail.docs":"Odpri dokumentacijo MCP-ja","settings.mcp.detail.docs.link":"Dokumenti","settings.mcp.detail.envVarPassthrough":"Prevzem okoljskih spremenljivk","settings.mcp.detail.envVars":"Spremenljivke okolja","settings.mcp.detail.http.addEnvHeader":"Dodaj spremenljivko","settings.mcp.detail.http.addHeader":"Dodaj glavo","settings.mcp.detail.http.bearerToken":"Spremenljivka okolja z žetonom Bearer","settings.mcp.detail.http.envHeaders":"Glave iz okoljskih spremenljivk","settings.mcp.detail.http.headers":"Glave","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Ime","settings.mcp.detail.save":"Shrani","settings.mcp.detail.switchTransportNotice":"Če želite zamenjati vrsto MCP-strežnika, ga najprej odstranite.","settings.mcp.detail.titleExisting":"Posodobite MCP {name}","settings.mcp.detail.titleNew":"Povežite MCP po meri","settings.mcp.detail.transport.http":"Pretočni HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Odstrani","settings.mcp.empty":"Ni povezanih MCP-strežnikov po meri","settings.mcp.myServers":"Strežniki po meri","settings.mcp.partnerServer.description.figma":"Ustvarite boljšo kodo z vključitvijo celotnega konteksta Figme","settings.mcp.partnerServer.description.github":"Integrirajte API-je GitHuba za avtomatizacijo delovnih postopkov in pridobivanje podatkov","settings.mcp.partnerServer.description.linear":"Integrirajte Linear za sledenje težavam in upravljanje projektov","settings.mcp.partnerServer.description.notion":"Berite dokumente, posodabljajte strani, upravljajte naloge","settings.mcp.partnerServer.description.playwright":"Integrirajte avtomatizacijo brskalnika za implementacijo oblikovanja in testiranja uporabniškega vmesnika.","settings.mcp.partnerServer.install":"Namesti","settings.mcp.partnerServer.installAndAuthenticate":"Namesti in potrdi pristnost","settings.mcp.partnerServer.logoAlt":"Logotip {label}","settings.mcp.partnerServer.manage":"Upravljaj","settings.mcp.partnerServer.vendor":"avtorja {vendor}","settings.mcp.recommendedServers":"Priporočeni strežniki","settings.mcp.restartApp":"Znova zaženi","settings.mcp.restartExtension":"Znova zaženi razširitev","settings.mcp.server.enable":"Omogoči","settings.mcp.server.login":"Potrdi pristnost","settings.mcp.server.settings":"Nastavitve","settings.multiselect.createOption":"Ustvari »{value}«","settings.multiselect.removeOption":"Odstrani","settings.nav.account":"Račun","settings.nav.agent":"Konfiguracija","settings.nav.ariaLabel":"Nastavitve","settings.nav.back":"Nazaj v aplikacijo","settings.nav.data-controls":"Arhivirani pogovori","settings.nav.environments":"Okolja v oblaku","settings.nav.externalTooltip":"[alfa] Odpre se v brskalniku","settings.nav.general-settings":"Splošno","settings.nav.git-settings":"Git","settings.nav.local-environments":"Okolja","settings.nav.mcp-settings":"Strežniki MCP","settings.nav.notImplemented":"[alfa] Ni na voljo v alfi","settings.nav.personalization":"Prilagoditve","settings.nav.skills-settings":"Spretnosti","settings.nav.usage-analytics":"Uporaba in analitika","settings.nav.worktrees":"Delovna drevesa","settings.openSourceLicenses.back":"Nazaj","settings.openSourceLicenses.loading":"Nalaganje …","settings.openSourceLicenses.missing":"Obvestil tretjih oseb ni bilo mogoče najti.","settings.openSourceLicenses.notSupported":"Ni na voljo pri tem gostitelju.","settings.openSourceLicenses.rowDescription":"Obvestila tretjih oseb za povezane odvisnosti","settings.openSourceLicenses.rowLabel":"Odprtokodne licence","settings.openSourceLicenses.subtitle":"Obvestila tretjih oseb za odvisnosti, vključene v to aplikacijo","settings.openSourceLicenses.title":"Odprtokodne licence","settings.openSourceLicenses.view":"Prikaži","settings.personalization.agents.description":"Uredite navodila, ki Codex prilagodijo vam. {learnMore}","settings.personalization.agents.learnMore":"Izvedite več","settings.personalization.agents.loadError":"Datoteke agents.md ni bilo mogoče naložiti.","settings.personalization.agents.loading":"Nalaganje datoteke agents.md …","settings.personalization.agents.placeholder":"Dodajte svoja navodila po meri …","settings.personalization.agents.retry":"Poskusi znova","settings.personalization.agents.save":"Shrani","settings.personalization.agents.save.error":"Datoteke agents.md ni bilo mogoče shraniti.","settings.personalization.agents.save.success":"Datoteka agents.md je bila shranjena","settings.personalization.agents.title":"Navodila po meri","settings.personalization.personality.description":"Izberite privzeti ton za odgovore Codexa","settings.personalization.personality.label":"Osebnost","settings.sample.contentBody":"S to postavitvijo sestavite nastavitvene plošče z doslednim razmikom.","settings.sample.contentTitle":"Vzorec bloka vsebine","settings.section.account":"Račun","settings.section.agent":"Konfiguracija","settings.section.data-controls":"Arhivirani pogovori","settings.section.environments":"Okolja v oblaku","settings.section.external":"Odpre se v vašem brskalniku med fazo alfa","settings.section.general-settings":"Splošno","settings.section.git-settings":"Git","settings.section.local-environments":"Okolja","settings.section.mcp-settings":"Strežniki MCP","settings.section.mcp-settings.docs":"Dokumenti","settings.section.mcp-settings.subtitle":"Povežite zunanja orodja in vire podatkov.","settings.section.personalization":"Prilagoditve","settings.section.skills-settings":"Spretnosti","settings.section.unavailable":"Ni še na voljo v alfi","settings.section.usage-analytics":"Uporaba in analitika","settings.section.worktrees":"Delovna drevesa","settings.threadDetail.description":"Izberite, koliko izpisa ukaza želite prikazati v pogovorih","settings.threadDetail.label":"Podrobnosti pogovora","settings.worktrees.conversation.untitled":"Pogovor brez naslova","settings.worktrees.delete.error":"Delovnega drevesa ni bilo mogoče izbrisati","settings.worktrees.empty.body":"Delovna drevesa, ki jih je ustvaril Codex, bodo prikazana tukaj.","settings.worktrees.empty.title":"Ni še delovnih dreves","settings.worktrees.error.body":"Pri nalaganju delovnih dreves je prišlo do napake.","settings.worktrees.error.retry":"Poskusi znova","settings.worktrees.error.title":"Delovnih dreves ni bilo mogoče naložiti","settings.worktrees.loading.body":"Pridobivanje podrobnosti delovnega drevesa.","settings.worktrees.loading.title":"Nalaganje delovnih dreves","settings.worktrees.repository.loading":"Nalaganje metapodatkov shrambe …","settings.worktrees.repository.unknown":"Neznana shramba","settings.worktrees.row.conversations":"Pogovori","settings.worktrees.row.conversations.empty":"S tem delovnim drevesom ni povezanih pogovorov.","settings.worktrees.row.conversations.loading":"Nalaganje pogovorov …","settings.worktrees.row.delete":"Izbriši","settings.worktrees.row.title":"Delovno drevo","sidebarElectron.addWorkspaceRoot":"Dodaj nov projekt","sidebarElectron.archiveThread":"Arhiviraj pogovor","sidebarElectron.archiveThreadError":"Pogovora ni bilo mogoče arhivirati","sidebarElectron.collapseFolder":"Strni mapo","sidebarElectron.createStableWorktree.dialog.cancel":"Prekliči","sidebarElectron.createStableWorktree.dialog.create":"Ustvari","sidebarElectron.debugNavLink":"Iskanje in odpravljanje napak","sidebarElectron.editWorkspaceRootOptionName":"Uredi ime","sidebarElectron.expandFolder":"Razširi mapo","sidebarElectron.groupByMenu.recency":"Kronološki seznam","sidebarElectron.groupByMenu.title":"Organiziraj","sidebarElectron.groupByMenu.workspace":"Po projektu","sidebarElectron.inboxRouteNavLink":"Avtomatizacije","sidebarElectron.markThreadUnread":"Označi kot neprebrano","sidebarElectron.missingWorkspaceRoot":"Ta mapa projekta je bila izbrisana ali premaknjena","sidebarElectron.newThread":"Nov pogovor","sidebarElectron.newThreadInGroup":"Začni nov pogovor v {folder}","sidebarElectron.noRecentThreads":"Ni nedavnih pogovorov","sidebarElectron.noTasks":"Ni pogovorov","sidebarElectron.noTasks.start":"Dodaj nov projekt","sidebarElectron.noTasksWithFilter":"Noben pogovor se ne ujema s filtri","sidebarElectron.pinnedThreads":"Pripeti pogovori","sidebarElectron.recentNavLink":"Pogovori","sidebarElectron.recentThreads":"Nedavni pogovori","sidebarElectron.removeWorkspaceRootOption":"Odstrani","sidebarElectron.renameThread":"Preimenuj pogovor","sidebarElectron.renameThreadDialogAriaLabel":"Naslov pogovora","sidebarElectron.renameThreadDialogCancel":"Prekliči","sidebarElectron.renameThreadDialogPlaceholder":"Dodajte naslov …","sidebarElectron.renameThreadDialogSave":"Shrani","sidebarElectron.renameThreadDialogSubtitle":"Naj bo kratek in prepoznaven.","sidebarElectron.renameThreadDialogTitle":"Preimenuj pogovor","sidebarElectron.renameThreadError":"Pogovora ni bilo mogoče preimenovati","sidebarElectron.renameWorkspaceRootOptionLabel":"Ime za prikaz","sidebarElectron.showLess":"Prikaži manj","sidebarElectron.showMenu.all":"Vsi pogovori","sidebarElectron.showMenu.relevant":"Relevantno","sidebarElectron.showMenu.relevantHint":"Prikaže samo nedavne pogovore za trenutno vejo, delovna drevesa ali druge pogovore, ki potrebujejo vašo pozornost","sidebarElectron.showMenu.title":"Prikaži","sidebarElectron.showMenu.tooltip":"Filtriranje, razvrščanje in organiziranje pogovorov","sidebarElectron.showMenu.trigger":"Filtriraj pogovore v stranski vrstici","sidebarElectron.showMore":"Prikaži več","sidebarElectron.skillsRouteNavLink":"Spretnosti","sidebarElectron.sortMenu.created":"Ustvarjeno","sidebarElectron.sortMenu.title":"Razvrsti po","sidebarElectron.sortMenu.updated":"Posodobljeno","sidebarElectron.taskNavigation":"Mape za avtomatizacijo","sidebarElectron.tasksInFolder":"Avtomatizacije v {folder}","sidebarElectron.workspaceOptions":"Dejanja projekta za {folder}","sidebarElectron.worktreeGroupTooltip":"To je delovno drevo Gita","skills.appsPage.createSkill":"Nova spretnost","skills.appsPage.empty.skills":"Ni bilo najdenih spretnosti","skills.appsPage.search.skills":"Iščite spretnosti","skills.appsPage.search.skills.label":"Iščite spretnosti","skills.appsPage.section.installedApps":"Nameščeno","skills.appsPage.section.skills":"Spretnosti","skills.appsPage.subheading":"Dajte Codexu supermoč. <link>Izvedite več</link>","skills.appsPage.tab.recommended":"Priporočeno","skills.appsPage.tab.skills":"Spretnosti","skills.card.contentsError":"Vsebine spretnosti ni mogoče naložiti.","skills.card.disable":"Onemogoči","skills.card.disableSuccess":"spretnost {skillName} onemogočena","skills.card.disabledBadge":"Onemogočeno","skills.card.enable":"Omogoči","skills.card.enableSuccess":"spretnost {skillName} omogočena","skills.card.loadingContents":"Vsebina spretnosti se nalaga ...","skills.card.more":"Več dejanj","skills.card.open":"Odpri","skills.card.removeFailed":"Odstranitev spretnosti ni uspela","skills.card.removeSuccess":"spretnost {skillName} odstranjena","skills.card.toggleEnabledError":"Spretnosti ni bilo mogoče posodobiti","skills.card.try":"Poskusi","skills.card.trySkill":"Preizkusi spretnost","skills.card.uninstall":"Odstrani","skills.hero.dotLabel":"Pojdi na stran {index}","skills.hero.next":"Naslednja izpostavljena spretnost","skills.hero.trySkill":"Preizkusi spretnost","skills.page.createSkill":"Nova spretnost","skills.page.empty":"Ni bilo najdenih spretnosti","skills.page.filteredEmpty":"Nobena spretnost ne ustreza vašim filtrom","skills.page.filteredEmptyDescription":"Poskusite prilagoditi filtre iskanja ali obsega","skills.page.heading":"Spretnosti","skills.page.loading":"Nalaganje spretnosti …","skills.page.refreshSkills":"Osveži","skills.page.refreshSkillsToUseNew":"Osveži za uporabo novih spretnosti","skills.page.search":"Iščite spretnosti","skills.page.search.label":"Iščite spretnosti","skills.page.subheading":"Dajte Codexu supermoč. <link>Izvedite več</link>","skills.preview.copyPrompt":"Kopiraj poziv","skills.preview.examplePrompt":"Primer poziva","skills.recommended.error":"Priporočenih spretnosti ni bilo mogoče naložiti","skills.recommended.install":"Namesti","skills.recommended.installSkill":"Namesti spretnost","skills.recommended.installSuccess":"spretnost {skillName} nameščena","skills.recommended.installed":"Nameščeno","skills.scope.admin":"Skrbnik","skills.scope.adminInstalled":"Namestil skrbnik","skills.scope.builtIn":"Sistemska","skills.scope.personal":"Osebni","skills.scope.repo":"Shramba","skills.scope.system":"Sistemska","skills.scope.team":"Ekipa","skills.scope.user":"Uporabnik","skills.section.installed":"Nameščeno","skills.section.recommended":"Priporočeno","story.slidingToggle.existing":"Obstoječe","story.slidingToggle.fromLocal":"Iz lokalnega okolja","story.slidingToggle.new":"Novo","story.slidingToggle.toLocal":"V lokalno okolje","terminal.close":"Zapri terminal","terminal.title":"Terminal","thinkingShimmer.default":"Razmišljanje","threadEnvIcon.cloudTooltip":"Ta pogovor se izvaja v Codex Cloudu.","threadEnvIcon.localTooltip":"Ta pogovor se izvaja lokalno.","threadEnvIcon.worktreeTooltip":"Ta pogovor se izvaja v lokalnem delovnem drevesu Gita.","threadHeader.archiveConfirmCancel":"Prekliči","threadHeader.archiveConfirmConfirm":"Arhiviraj","threadHeader.archiveConfirmSubtitle":"Pozneje ga lahko najdete v arhiviranih pogovorih.","threadHeader.archiveConfirmTitle":"Želite arhivirati pogovor?","threadHeader.copyAppLink":"Kopiraj neposredno povezavo","threadHeader.copySessionId":"Kopiraj ID seje","threadHeader.copyWorkingDirectory":"Kopiraj delovni imenik","threadHeader.forkIntoLocal":"Osami v lokalno","threadHeader.forkIntoWorktree":"Osami v novo delovno drevo","threadHeader.forkPendingWorktreePrompt":"Osami ta pogovor v novo delovno drevo.","threadHeader.forkPendingWorktreeTitle":"Osamljeni pogovor","threadHeader.forkThreadError":"Pogovora ni bilo mogoče osamiti","threadHeader.forkThreadRequiresGitRepo":"Za osamitev v novo delovno drevo je potreben repozitorij na Gitu","threadHeader.moreActions":"Dejanja pogovora","threadPage.newThread":"Nov pogovor","threadPage.runAction.changeEnvironment":"Spremeni okolje","threadPage.runAction.dropdown.titleWithEnvironment":"Število dejanj: {environmentName}","threadPage.runAction.environmentSelector.label":"Izberi okolje","threadPage.runAction.label":"Izvedi","threadPage.runAction.missing.label":"Nastavi izvedbeno dejanje","threadPage.runAction.setup.commandLabel":"Ukaz za izvedbo","threadPage.runAction.setup.description":"Povejte Codexu, kako naj namesti odvisnosti in zažene vašo aplikacijo.","threadPage.runAction.setup.editMore":"Nastavitev okolja","threadPage.runAction.setup.placeholder":"npr.: npm install npm run","threadPage.runAction.setup.submit":"Shrani in izvedi","threadPage.runAction.setup.title":"Izvedi","threadPage.runAction.tooltip.withEnvironment":"Število dejanj: {environmentName}","threadPage.toggleDiffPanel":"Preklopi ploščo za primerjavo razlik","threadPage.toggleTerminal":"Preklopi terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Odpri mapo","toolSummaryForCmd.exploredFiles":"<verb>Navedene</verb> datoteke","toolSummaryForCmd.exploredFilesInPath":"<verb>Navedene</verb> datoteke v {path}","toolSummaryForCmd.exploringFiles":"<verb>Navajanje</verb> datotek","toolSummaryForCmd.exploringFilesInPath":"<verb>Navajanje</verb> datotek v {path}","toolSummaryForCmd.ranGenericCommand":"<status>Ukaz izveden</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Se je izvedlo</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Prebrano</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Izvajanje ukaza</status>{timer}","toolSummaryForCmd.runningTimer":"za {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Iskanje je bilo opravljeno</verb> za {query}","toolSummaryForCmd.searchedForFiles":"<verb>Iskanje je bilo opravljeno</verb> za datoteke","toolSummaryForCmd.searchedForInPath":"<verb>Iskanje je bilo opravljeno</verb> za {query} v {path}","toolSummaryForCmd.searchingFor":"<verb>Iskanje</verb> za {query}","toolSummaryForCmd.searchingForFiles":"<verb>Iskanje</verb> datotek","toolSummaryForCmd.searchingForInPath":"<verb>Iskanje</verb> za {query} v {path}","traceRecording.details.noteLabel":"Kaj ste počeli, ko se je to zgodilo? (izbirno)","traceRecording.details.notePlaceholder":"Pomaknil/-a sem se na veliki pogovor, nato pa večkrat preklopil/-a med zavihki …","traceRecording.details.submit":"Pošlji sled","traceRecording.details.subtitle":"To sled profila lahko pošljemo za pomoč pri diagnosticiranju težav z delovanjem.","traceRecording.details.title":"Pošlji sled profila?","traceRecording.progress.subtitle":"Medtem ko se to končuje, imejte Codex odprt.","traceRecording.saving.title":"Shranjevanje sledi …","traceRecording.startDetails.cancel":"Prekliči","traceRecording.startDetails.submit":"V redu, začni snemanje","traceRecording.startDetails.subtitle":"Ko kliknete »V redu«, ponovite težavo z zmogljivostjo, nato pa kliknite lebdeči rdeči indikator, da ustavite in pregledate sled.","traceRecording.startDetails.title":"Kako deluje beleženje sledi","traceRecording.stopButton.ariaLabel":"Ustavi snemanje sledi","traceRecording.upload.successToast":"Sled profila je bila poslana.","traceRecording.uploading.title":"Nalaganje sledi …","wham.diff.addComment":"Dodaj komentar","wham.diff.binaryFile":"Binarna datoteka ni prikazana","wham.diff.noContent":"Ni vsebine","wham.fileTag.deleted":"Izbrisano","wham.fileTag.new":"Novo","wham.formattedRelativeDateTime.compactDaysAgo":"{value} dni","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"Pred {value} meseci","wham.formattedRelativeDateTime.compactWeeksAgo":"Pred {value} tedni","wham.formattedRelativeDateTime.compactYearsAgo":"Pred {value} leti","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"–{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Delam na vaši nalogi","wham.whamProposedTask.title":"Priporočena naloga","wham.whamProposedTask.useSuggestion":"Uporabi predlog","workspaceRootDialog.addError":"Projekta ni bilo mogoče dodati","workspaceRootDialog.cancel":"Prekliči","workspaceRootDialog.confirmAdd":"Dodaj projekt","workspaceRootDialog.confirmPick":"Uporabi projekt","workspaceRootDialog.description":"Vnesite pot v {host}, da jo uporabite kot projekt.","workspaceRootDialog.pathLabel":"Pot projekta","workspaceRootDialog.pathPlaceholder":"/domov/vi/projekt","workspaceRootDialog.title.add":"Dodaj pot projekta","workspaceRootDialog.title.pick":"Izberi pot projekta","worktreeInitV2.cancel":"Prekliči","worktreeInitV2.notification.failedTitle":"Nastavitev delovnega drevesa ni uspela","worktreeInitV2.output.empty":"Čakanje na rezultat …","worktreeInitV2.status.error":"Nastavitev delovnega drevesa ni uspela.","worktreeInitV2.status.running":"Ustvarjanje delovnega drevesa in izvedba nastavitev.","worktreeInitV2.status.runningFork":"Ustvarjanje delovnega drevesa za osamitev tega pogovora.","worktreeInitV2.status.success":"Delovno drevo je pripravljeno.","worktreeInitV2.title":"Ustvarjanje delovnega drevesa","worktreeInitV2.workLocallyInstead":"Delajte raje lokalno","worktreeRestoreBanner.body":"Delovno drevo tega pogovora je bilo odstranjeno, da bi se prihranil prostor na disku","worktreeRestoreBanner.missing.body":"Delovni imenik tega pogovora ne obstaja več","worktreeRestoreBanner.missing.title":"Trenutni delovni imenik manjka","worktreeRestoreBanner.restore.error":"Delovnega drevesa ni bilo mogoče obnoviti: {message}","worktreeRestoreBanner.restore.success":"Delovno drevo je bilo obnovljeno","worktreeRestoreBanner.restoreCta":"Obnovi delovno drevo","worktreeRestoreBanner.title":"Delovno drevo je očiščeno"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopiraj","app.sidebar.hide":"Skrij stransko vrstico","app.sidebar.show":"Prikaži stransko vrstico","app.sidebar.tooltip":"Preklopi stransko vrstico","appHeader.installUpdate":"Posodobi","appSunset.body":"Ta različica aplikacije ni več podprta. Prenesite najnovejšo različico <here>tukaj</here>.","appSunset.title":"Zahtevana je posodobitev","automation.updateDirective.create":"Ustvari","automation.updateDirective.open":"Odpri","automation.updateDirective.untitled":"Avtomatizacija brez naslova","automation.updateDirective.update":"Posodobi","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# poskus} two {# poskusa} few {# poskusi} other {# poskusov}}","cloudTaskRow.archiveError":"Naloge ni bilo mogoče arhivirati","code.diff.requestChange":"Zahtevajte spremembo","code.diffComment.cancel":"Prekliči","code.diffComment.comment":"Komentar","code.diffComment.delete":"Izbriši","code.diffComment.save":"Shrani","codeReviewAssistant.location":"{file}: {start}–{end}","codeReviewAssistant.noFindings":"Ni poročila o izsledkih.","codex.alert.closeAriaLabel":"Zapri","codex.appUpsellBanner.cbpApi.message":"Delajte hitreje z aplikacijo Codex. Prenesite jo zdaj ali {learnMoreLink}.","codex.appUpsellBanner.download":"Prenesi","codex.appUpsellBanner.freeGo.message":"Codex je vključen v vaš naročniški paket do 2. marca. Preizkusite aplikacijo Codex za hitrejše delo.","codex.appUpsellBanner.later":"Pozneje","codex.appUpsellBanner.learnMoreLowercase":"izvedite več","codex.appUpsellBanner.new":"Novo","codex.appUpsellBanner.proPlusBusiness.message":"Preizkusite aplikacijo Codex z 2× manjšimi omejitvami uporabe do 2. aprila. Prenesite jo zdaj ali {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikacija Codex","codex.applyDropdown.header.changes":"Spremembe","codex.applyDropdown.header.fileCount":"{count, plural, one {Raziskana je bila # datoteka} two {Raziskanih je bilo # datotek} few {Raziskanih je bilo # datotek} other {Raziskanih je bilo # datotek}}","codex.applyDropdown.header.rows":"vrstic","codex.applyDropdown.header.title":"Uveljavi spremembe","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 datoteka je v konfliktu:} two {{count} datoteki sta v konfliktu:} few {{count} datoteke so v konfliktu:} other {{count} datotek je v konfliktu:}}","codex.applyDropdown.results.empty":"Nobena datoteka ni bila kopirana","codex.applyDropdown.results.skipped":"{count, plural, one {1 datoteka je bila preskočena:} two {{count} datoteki sta bili preskočeni:} few {{count} datoteke so bile preskočene:} other {{count} datotek je bilo preskočenih:}}","codex.applyOrRevertBanner.apply":"Uporabi","codex.applyOrRevertBanner.applyMessage":"Želite uporabiti spremembe in nadaljevati lokalno?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ta naloga je bila narejena v {environment}, zato je morda ne bo mogoče uporabiti brez težav.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Spremembe so bile narejene v {environment}, zato jih morda ne bo mogoče uporabiti brez težav.","codex.applyOrRevertBanner.reapply":"Uveljavi","codex.applyOrRevertBanner.revert":"Razveljavi","codex.applyOrRevertBanner.revertMessage":"Želite razveljaviti uporabljene spremembe?","codex.applyResultsDialog.applied":"Uporabljeno brez težav ({count})","codex.applyResultsDialog.close":"Zapri","codex.applyResultsDialog.conflicted":"V konfliktu ({count})","codex.applyResultsDialog.noDetails":"Podrobnosti o datoteki niso na voljo.","codex.applyResultsDialog.skipped":"Preskočeno ({count})","codex.applyResultsDialog.title":"Uporabite rezultate","codex.archiveInfo":"Oglejte si arhivirane klepete v {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Nadzor podatkov","codex.archiveInfo.electron":"Oglejte si arhivirane klepete v {settingsLink}.","codex.archiveInfo.extension":"Oglejte si arhivirane klepete v mapi .codex.","codex.archiveInfo.settingsLink":"Nastavitve","codex.banner.content.description":"Vzporedno izvajajte naloge, spremljajte napredek kjerkoli in pregledujte zahteve za združitev kode z umetno inteligenco.","codex.banner.content.headline":"Codex zna vse.","codex.cloudTaskRow.archiveTask":"Arhiviraj nalogo","codex.cloudTaskRow.confirmArchiveTask":"Potrdi","codex.command.feedback":"Povratne informacije","codex.command.findInThread":"Poišči","codex.command.forceReloadSkills":"Prisilno znova naloži spretnosti","codex.command.logOut":"Odjava","codex.command.manageTasks":"Upravljaj naloge","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Nazaj","codex.command.navigateForward":"Naprej","codex.command.newThread":"Nov pogovor","codex.command.nextThread":"Naslednji pogovor","codex.command.openFolder":"Odpri mapo","codex.command.openSkills":"Pojdi na spretnosti","codex.command.openThreadOverlay":"Odpri pogovor","codex.command.personalitySettings":"Osebnost","codex.command.previousThread":"Prejšnji pogovor","codex.command.settings":"Nastavitve","codex.command.toggleDiffPanel":"Preklopi ploščo za primerjavo razlik","codex.command.toggleSidebar":"Preklopi stransko vrstico","codex.command.toggleTerminal":"Preklopi terminal","codex.commandGroup.app":"Aplikacija","codex.commandGroup.configure":"Konfiguracija","codex.commandGroup.navigation":"Navigacija","codex.commandGroup.panels":"Plošče","codex.commandGroup.skills":"Spretnosti","codex.commandGroup.thread":"Pogovor","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Ni zadetkov","codex.commandMenu.searchPlaceholder":"Iskalni ukazi","codex.commandMenu.suggestedGroup":"Priporočeno","codex.commandMenu.switchWorkspace":"Preklopi projekt","codex.commandMenu.title":"Ukazni meni","codex.common.retry":"Poskusi znova","codex.composer.searchBranches":"Iščite po vejah","codex.dialog.basic.body":"To je preprosto modalno pogovorno okno, ki uporablja naš ovoj okoli Radix Dialog.","codex.dialog.basic.cancel":"Prekliči","codex.dialog.basic.confirm":"Potrdi","codex.dialog.basic.open":"Odpri pogovorno okno","codex.dialog.basic.title":"Vzorčno pogovorno okno","codex.dialog.long.close":"Zapri","codex.dialog.long.line":"Pomikajoča se vrstica {index} za prikaz dolge vsebine v pogovornem oknu.","codex.dialog.long.open":"Odpri dolgo pogovorno okno","codex.dialog.long.title":"Pogovorno okno z dolgo vsebino","codex.dialog.unstyled.body":"Ta primer prikazuje, kako lahko uporabniki komponente popolnoma prilagodijo oblikovanje vsebine pogovornega okna.","codex.dialog.unstyled.open":"Odpri neoblikovano pogovorno okno","codex.dialog.unstyled.title":"Neoblikovana vsebina","codex.diff.openInEditorPrompt.openButton":"Odpri v urejevalniku","codex.diff.openInEditorPrompt.singleLine":"Datoteka je prevelika za prikaz.","codex.diffView.failedToDecodeBase64Diff":"Dekodiranje razlike v base64 ni uspelo","codex.diffView.filesChanged":"{fileCount, plural, one {# spremenjena datoteka} two {# spremenjeni datoteki} few {# spremenjene datoteke} other {# spremenjenih datotek}}","codex.diffView.imagePreviewAlt":"Predogled slike","codex.diffView.imagePreviewEmpty":"Brez slike","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"–{linesDeleted}","codex.diffView.noDiffData":"Ni razlik","codex.diffView.pdfPreview.nextPage":"Naslednja stran","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Prejšnja stran","codex.diffView.pdfPreviewEmpty":"Ni predogleda PDF-ja","codex.diffView.pdfPreviewError":"Predogleda PDF-ja ni mogoče prikazati","codex.diffView.richPreviewDisable":"Onemogoči obogaten predogled","codex.diffView.richPreviewEnable":"Omogoči obogaten predogled","codex.diffView.richPreviewLoading":"Nalaganje predogleda …","codex.diffView.richPreviewToggle":"Preklopi obogaten predogled","codex.diffView.switchToUnified":"Združeni prikaz","codex.environmentSelector.noEnvironment":"Ni okolij","codex.environments.environmentSettings":"Nastavitev okolja","codex.environments.learnMore":"Izvedite več","codex.environments.listError":"Okolij ni bilo mogoče naložiti.","codex.environments.noEnvironmentsFound":"Okolij ni bilo mogoče najti","codex.environments.searchError":"Iskanje okolij ni uspelo.","codex.errorBoundary.genericError":"Ups, prišlo je do napake","codex.errorBoundary.goHome":"Poskusi znova","codex.file.patch.missing":"Za to datoteko ni mogoče zgraditi popravka.","codex.gallery.automations.cwdLabel":"Projekti","codex.gallery.automations.nameLabel":"Ime","codex.gallery.automations.namePlaceholder":"Povzetek naloge","codex.gallery.automations.promptLabel":"Poziv","codex.gallery.automations.promptPlaceholder":"Opišite, kaj naj Codex naredi","codex.gallery.dialogs.automation.label":"Pogovorno okno za avtomatizacijo","codex.gallery.dialogs.basic.body":"To postavitev uporabite za preproste potrditve ali kratke obrazce.","codex.gallery.dialogs.basic.cancel":"Prekliči","codex.gallery.dialogs.basic.confirm":"Potrdi","codex.gallery.dialogs.basic.label":"Osnovno pogovorno okno","codex.gallery.dialogs.basic.title":"Vzorčno pogovorno okno","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Opišite težavo","codex.gallery.dialogs.feedbackSubmission.bad":"Slab rezultat","codex.gallery.dialogs.feedbackSubmission.bug":"Napaka","codex.gallery.dialogs.feedbackSubmission.good":"Dober rezultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Vključi trenutne dnevnike sej Codexa","codex.gallery.dialogs.feedbackSubmission.label":"Pošiljanje povratnih informacij","codex.gallery.dialogs.feedbackSubmission.other":"Drugo","codex.gallery.dialogs.feedbackSubmission.placeholder":"Opišite težavo tukaj","codex.gallery.dialogs.feedbackSubmission.submit":"Oddaj","codex.gallery.dialogs.feedbackSubmission.title":"Povratne informacije","codex.gallery.dialogs.feedbackSuccess.body":"Povratne informacije so bile naložene. Če težave ni mogoče odpraviti, odprite težavo na GitHubu ali omenite ID pogovora v obstoječi odprti težavi:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Zavrni","codex.gallery.dialogs.feedbackSuccess.label":"Uspešno poslane povratne informacije","codex.gallery.dialogs.feedbackSuccess.title":"Povratne informacije so bile naložene","codex.gallery.dialogs.gitApplyResults.applied":"Uporabljeno brez težav (2)","codex.gallery.dialogs.gitApplyResults.close":"Zapri","codex.gallery.dialogs.gitApplyResults.conflicted":"V konfliktu (1)","codex.gallery.dialogs.gitApplyResults.label":"Uporabite rezultate","codex.gallery.dialogs.gitApplyResults.title":"Uporabite rezultate","codex.gallery.dialogs.gitPushError.body":"Prenesite najnovejše spremembe s strežnika ali uporabite prisilno pošiljanje sprememb, če mislite, da je varno prepisati zgodovino na strežniku.","codex.gallery.dialogs.gitPushError.cancel":"Prekliči","codex.gallery.dialogs.gitPushError.force":"Prisilno pošlji spremembe","codex.gallery.dialogs.gitPushError.label":"Napaka pošiljanja sprememb","codex.gallery.dialogs.gitPushError.subtitle":"Vaša veja je za vejo origin/main.","codex.gallery.dialogs.gitPushError.title":"Sprememb ni bilo mogoče poslati","codex.gallery.dialogs.gitRevert.cancel":"Prekliči","codex.gallery.dialogs.gitRevert.confirm":"Razveljavi","codex.gallery.dialogs.gitRevert.label":"Razveljavi spremembe","codex.gallery.dialogs.gitRevert.skip":"Ne sprašuj več","codex.gallery.dialogs.gitRevert.subtitle":"S tem dejanjem boste odstranili vse te spremembe.","codex.gallery.dialogs.gitRevert.title":"Želite razveljaviti spremembe?","codex.gallery.dialogs.longForm.label":"Dolgo pogovorno okno","codex.gallery.dialogs.proseModal.body":"Ta modalni slog se uporablja za daljša navodila, uvajanje ali bloke z bogato vsebino.","codex.gallery.dialogs.proseModal.close":"Zapri","codex.gallery.dialogs.proseModal.subtitle":"Tukaj delite daljša navodila ali dokumentacijo.","codex.gallery.dialogs.proseModal.title":"Prozni modal","codex.gallery.dialogs.submitBlocked.label":"Pošiljanje je blokirano","codex.gallery.dialogs.submitBlocked.message":"Vašega sporočila ni bilo mogoče poslati, ker projekt ni na voljo.","codex.gallery.dialogs.submitBlocked.ok":"V redu","codex.gallery.dialogs.submitBlocked.title":"Sporočila ni bilo mogoče poslati","codex.gallery.dialogs.title":"Pogovorna okna","codex.gallery.dropdown.filterPlaceholder":"Filtriraj elemente","codex.gallery.dropdowns.actionRow":"Vrstice dejanj","codex.gallery.dropdowns.actionRow.disabled":"Onemogočeno dejanje","codex.gallery.dropdowns.actionRow.primary":"Primarno dejanje","codex.gallery.dropdowns.actionRow.secondary":"Sekundarno dejanje","codex.gallery.dropdowns.actionRow.trigger":"Prikaži dejanja","codex.gallery.dropdowns.basic":"Osnovni spustni meni","codex.gallery.dropdowns.basic.newFile":"Nova datoteka","codex.gallery.dropdowns.basic.newFolder":"Nova mapa","codex.gallery.dropdowns.basic.openSettings":"Odpri nastavitve","codex.gallery.dropdowns.basic.title":"Hitra dejanja","codex.gallery.dropdowns.basic.trigger":"Odpri meni","codex.gallery.dropdowns.basic.upload":"Naloži","codex.gallery.dropdowns.panel":"Površina plošče","codex.gallery.dropdowns.panel.apply":"Uporabi","codex.gallery.dropdowns.panel.body":"Preglejte razlike in jih uporabite v svojem projektu.","codex.gallery.dropdowns.panel.preview":"Predogled","codex.gallery.dropdowns.panel.title":"Uveljavi spremembe","codex.gallery.dropdowns.panel.trigger":"Odpri ploščo","codex.gallery.dropdowns.search":"Iskalni spustni meni","codex.gallery.dropdowns.search.first":"Alfa kanal","codex.gallery.dropdowns.search.second":"Beta veja","codex.gallery.dropdowns.search.third":"Kandidat za izdajo","codex.gallery.dropdowns.search.trigger":"Filtriraj elemente","codex.gallery.dropdowns.submenu":"Spustni meni s podmenijem","codex.gallery.dropdowns.submenu.optionA":"Projekt alfa","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gama","codex.gallery.dropdowns.submenu.primary":"Dodeli lastnika","codex.gallery.dropdowns.submenu.secondary":"Premakni v","codex.gallery.dropdowns.submenu.tertiary":"Arhiviraj","codex.gallery.dropdowns.submenu.trigger":"Izberi dejanje","codex.gallery.dropdowns.title":"Spustni meniji","codex.gallery.inbox.automations.close":"Zapri","codex.gallery.inbox.automations.popover.cardTitle":"Upravljanje avtomatizacij","codex.gallery.inbox.automations.popover.dialogTitle":"Upravljanje avtomatizacij","codex.header.settingsTooltip":"Nastavitve","codex.hunk.patch.error":"Priprava ni uspela","codex.hunk.patch.missing":"Za ta del kode ni bilo mogoče ustvariti popravka.","codex.hunk.patch.partialSuccess":"Delni uspeh","codex.hunk.patch.revertError":"Sprememba ni uspela","codex.hunk.patch.revertSuccess":"Uspešno spremenjeno","codex.hunk.patch.success":"Uspešno pripravljeno","codex.legal.autonomy.details":"Za več podrobnosti glejte {link}","codex.legal.autonomy.details.link":"Dokumentacija za Codex","codex.legal.autonomy.title":"Odločite se, koliko avtonomije želite dovoliti","codex.legal.backButton":"Nazaj","codex.legal.cloud.taskOne.meta":"openai/agi · 12. okt.","codex.legal.cloud.taskOne.title":"Razloži shrambo novemu oblikovalcu","codex.legal.cloud.taskThree.meta":"openai/agi · 8. okt.","codex.legal.cloud.taskThree.stats.negative":"–123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Ustvari temno temo","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. okt.","codex.legal.cloud.taskTwo.stats.negative":"–20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Odpravi nastavitveno napako","codex.legal.continue.apikey":"Nadaljuj","codex.legal.continueButton":"Naprej","codex.legal.copilot.details":"Uporablja vaš naročniški paket Copilot za vse klice modelov, obračunavanje in omejitve uporabe. Uporaba razširitve za Codex je odvisna od {oaiTos} in {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Pogoji uporabe GitHuba","codex.legal.copilot.oaiTosLink":"Pogoji uporabe OpenAI Codexa","codex.legal.copilot.title":"Poganja GitHub Copilot","codex.legal.mistakes.review":"Preglej kodo, ki jo napiše, in ukaze, ki jih izvaja","codex.legal.mistakes.title":"Codex se lahko moti","codex.legal.powered.details":"Uporablja omejitve uporabe vašega naročniškega paketa in {link}","codex.legal.powered.details.link":"nastavitve podatkov za učenje modelov","codex.legal.powered.title":"Poganja ga vaš račun za ChatGPT","codex.legal.step.cloud.subtitle":"Pošljite naloge Codexu, da jih izvede v ozadju, vi pa se lahko osredotočite in hitreje napredujete.","codex.legal.step.cloud.title":"Predaja Codexu v oblaku","codex.legal.step.intro.subtitle":"Codex omogoča navigacijo, urejanje, izvajanje ukazov in izvajanje testov neposredno v vaši shrambi. Poganja ga vaš račun za ChatGPT.","codex.legal.step.intro.title":"Codex v vašem integriranem razvojnem okolju","codex.legal.step.todo.subtitle":"Napišite komentar TODO in ga z enim samim klikom pretvorite v nalogo za Codex.","codex.legal.step.todo.title":"Spremenite naloge TODO v naloge za Codex","codex.legal.todo.heading":"// TODO: izvedi shemo","codex.localConversation.closeImagePreview":"Zapri predogled slike","codex.localConversation.userImageAttachment":"Uporabniška priponka","codex.localTaskRow.archiveTask":"Arhiviraj pogovor","codex.localTaskRow.awaitingApproval":"Čaka na odobritev","codex.localTaskRow.awaitingResponse":"Čakam na odgovor","codex.localTaskRow.confirmArchiveTask":"Potrdi","codex.loggedOut.apiKeyPrompt.cancel":"Prekliči","codex.loggedOut.apiKeyPrompt.confirm":"V redu","codex.loggedOut.apiKeyPrompt.getKey":"Pridobi API-ključ","codex.loggedOut.apiKeyPrompt.inputLabel":"Vnesite svoj API-ključ za OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Naloge v oblaku so onemogočene z API-ključem","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Naloge v oblaku so onemogočene s Copilotom in API-ključem","codex.loggedOut.signIn":"Prijava z računom za ChatGPT","codex.loggedOut.signIn.cancel":"Prekliči prijavo","codex.loggedOut.signInWithCopilot":"Prijava z računom za GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Uporabi API-ključ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} orodje","codex.mcpTool.collapsedLabel.verb.called":"Klicano","codex.mcpTool.collapsedLabel.verb.calling":"Klicanje","codex.mcpTool.embeddedResource.contentLabel":"Vsebina","codex.mcpTool.embeddedResource.mimeTypeLabel":"Vrsta MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Orodje ni vrnilo vsebine","codex.mcpTool.rawPayloadHeading":"Neobdelane koristne vsebine klica orodja {server}.{tool}","codex.menu.recent":"Nedavno","codex.menu.seeAllHistory":"Prikaži vso zgodovino","codex.modelCapacityBanner.headline.noReset":"{modelName} je trenutno zaseden. Poskusite znova pozneje ali začnite nov pogovor z drugim modelom.","codex.modelCapacityBanner.headline.withReset":"{modelName} je trenutno zaseden. Poskusite znova {resetDate} ali začnite nov pogovor z drugim modelom.","codex.modelCapacityBanner.title":"Izbrani model je zaseden","codex.patch.change.contentsDeleted":"Vsebina je bila izbrisana","codex.patch.change.created":"Ustvarjeno","codex.patch.change.created-file":"Ustvarjena datoteka","codex.patch.change.creating":"Ustvarjanje","codex.patch.change.deleted":"Izbrisano","codex.patch.change.deleted-file":"Izbrisana datoteka","codex.patch.change.deleting":"Brisanje","codex.patch.change.edited":"Spremenjeno","codex.patch.change.edited-file":"Urejena datoteka","codex.patch.change.editing":"Urejanje","codex.patch.change.noChanges":"Ni sprememb","codex.patch.change.rejected-add":"Zavrnjeno","codex.patch.change.rejected-delete":"Zavrnjeno","codex.patch.change.rejected-edit":"Zavrnjeno","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} od {total} nalog je končanih","codex.plan.todoListCreated":"Seznam opravil, ustvarjen z {total} nalogami","codex.profileDropdown.apiKeyAuth":"Prijavljen z API-ključem","codex.profileDropdown.codexSettings":"Nastavitve Codexa","codex.profileDropdown.copilotAuth":"Prijavljen z računom za Copilot","codex.profileDropdown.defaultAccountTitle":"Privzeti račun","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter, da pošljete dolge pozive","codex.profileDropdown.enterBehaviorError":"Nastavitve ni bilo mogoče posodobiti","codex.profileDropdown.getPlus":"Nadgradi za manjše omejitve","codex.profileDropdown.keyboardShortcuts":"Bližnjice na tipkovnici","codex.profileDropdown.language":"Jezik","codex.profileDropdown.languageDefault":"Samodejno zaznaj","codex.profileDropdown.languageSearchPlaceholder":"Iskanje jezikov","codex.profileDropdown.languageUpdateError":"Jezika ni bilo mogoče posodobiti","codex.profileDropdown.logOut":"Odjava","codex.profileDropdown.mcp":"Nastavitve MCP-ja","codex.profileDropdown.openConfigToml":"Odpri config.toml","codex.profileDropdown.openConfigToml.wsl":"Odpri config.toml v WSL-okolju","codex.profileDropdown.openExtensionSettings":"Odpri nastavitve","codex.profileDropdown.openMcpSettings":"Odpri nastavitve MCP-ja","codex.profileDropdown.openOnStartup":"Odpri ob zagonu","codex.profileDropdown.openOnStartupError":"Nastavitve ni bilo mogoče posodobiti","codex.profileDropdown.openSkillsSettings":"Odpri nastavitve spretnosti","codex.profileDropdown.personalAccountTitle":"Osebni račun","codex.profileDropdown.queueFollowUps":"Nadaljnje naloge v čakalni vrsti","codex.profileDropdown.queueFollowUpsError":"Nastavitve ni bilo mogoče posodobiti","codex.profileDropdown.readDocs":"Preberi dokumentacijo","codex.profileDropdown.readSkillsDocs":"Preberi dokumentacijo","codex.profileDropdown.runInWsl":"Zaženi v WSL-ju","codex.profileDropdown.runInWslError":"Nastavitve ni bilo mogoče posodobiti","codex.profileDropdown.runInWslTooltip":"Izvaja Codex znotraj WSL-ja. Priporočeno za izboljšano varnost peskovnika in boljše delovanje.","codex.profileDropdown.settings":"Nastavitve IDE-ja","codex.profileDropdown.settingsPage":"Nastavitve","codex.profileDropdown.signInWithOpenAI":"Prijava z računom za ChatGPT","codex.profileDropdown.skills":"Nastavitve spretnosti","codex.profileDropdown.switchToCopilotAccount":"Uporabi račun za Copilot","codex.profileDropdown.switchToOpenAIAccount":"Uporabi račun za OpenAI","codex.profileDropdown.todoCodelens":"Popravi komentarje za TODO","codex.profileDropdown.todoCodelensError":"Nastavitve ni bilo mogoče posodobiti","codex.profileDropdown.windowsDocumentation":"Dokumentacija sistema Windows","codex.profileFooter.signedInFallback":"Nastavitve","codex.profileFooter.upgrade":"Nadgradi","codex.recentTasksMenu.clearSearch":"Počisti iskanje","codex.recentTasksMenu.cloud":"Naloge v oblaku","codex.recentTasksMenu.count":"{count, plural, =0 {Ni nalog v teku} one {# naloga v teku} two {# nalogi v teku} few {# naloge v teku} other {# nalog v teku}}","codex.recentTasksMenu.empty":"Ni še pogovora","codex.recentTasksMenu.errorCloud":"Nalog ni bilo mogoče naložiti.","codex.recentTasksMenu.errorCloud.inline":"Nalog v oblaku ni bilo mogoče naložiti.","codex.recentTasksMenu.filterAll":"Vse","codex.recentTasksMenu.filterCloudTasks":"Filtrirajte naloge v oblaku","codex.recentTasksMenu.filterTooltip":"Filtriraj opravila po okolju","codex.recentTasksMenu.local":"Lokalne naloge","codex.recentTasksMenu.recent":"Vse naloge","codex.recentTasksMenu.search":"Iščite nedavne naloge","codex.recentTasksMenu.searchEmpty":"Ni rezultatov","codex.recentTasksMenu.tooltip":"Zgodovina nalog","codex.recentTasksMenu.trigger":"Nedavne naloge. {count, plural, one {# v teku} two {# v teku} few {# v teku} other {# v teku}}","codex.remoteConversation.applyDiff.applyCta":"Uveljavi spremembe","codex.remoteConversation.applyDiff.dropdownTitle":"Uveljavi spremembe v lokalni veji","codex.remoteConversation.applyDiff.revertCta":"Razveljavi spremembe","codex.remoteConversation.closeImagePreview":"Zapri predogled slike","codex.remoteConversation.codexCloudTask":"Prikazana je naloga v <u>Codex Cloudu</u>","codex.remoteConversation.errorWithMessage":"Napaka: {message}","codex.remoteConversation.loadingImage":"Nalaganje slike","codex.remoteConversation.openInWeb":"Odpri na spletu","codex.remoteConversation.streaming":"Začenjam","codex.remoteConversation.turnFailed":"Med izvajanjem naloge je prišlo do napake","codex.remoteConversation.turnTab.loading":"Poskus {number}","codex.remoteConversation.turnTab.title":"Poskus {number}","codex.remoteConversation.userImageAttachment":"Uporabniška priponka","codex.remoteConversation.viewPreviousTurns":"Odpri na spletu","codex.remoteConversation.viewPreviousTurns.buttonText":"Odpri","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Odpri na spletu","codex.review.copyGitApplyCommand":"Kopiraj ukaz za uveljavitev popravka","codex.review.copyGitApplyCommand.toast":"Ukaz za uveljavitev popravka je bil kopiran v odložišče","codex.review.diffTooLarge.description":"Ta razlika je prevelika za prikaz v pregledu.","codex.review.diffTooLarge.title":"Razlika je prevelika za prikaz","codex.review.expandOrCollapseDiffButton.collapse":"Strni vse razlike","codex.review.expandOrCollapseDiffButton.expand":"Razširi vse razlike","codex.review.expandOrCollapseDiffMenu.collapse":"Strni vse razlike","codex.review.expandOrCollapseDiffMenu.expand":"Razširi vse razlike","codex.review.fileSearch.clear":"Počisti filter datotek","codex.review.fileSearch.empty":"Nobena datoteka se ne ujema s trenutnim filtrom.","codex.review.fileSearch.label":"Filtriraj datoteke","codex.review.fileSearch.placeholder":"Filtriraj datoteke …","codex.review.filesChanged":"{num, plural, =0 {Ni spremenjenih datotek} one {# spremenjena datoteka} two {# spremenjeni datoteki} few {# spremenjene datoteke} other {# spremenjenih datotek}}","codex.review.find.loadMore":"Naloži več zadetkov","codex.review.fullReview.hideFileTree":"Skrij drevo datotek","codex.review.fullReview.showFileTree":"Prikaži drevo datotek","codex.review.header.moreOptions":"Možnosti pregleda","codex.review.largeDiff.banner":"Zaznana je bila velika razlika – prikaz posameznih datotek.","codex.review.loadFullFiles.disable":"Ne nalagaj celih datotek","codex.review.loadFullFiles.enable":"Naloži cele datoteke","codex.review.noDiff":"Spremembe datoteke bodo prikazane tukaj","codex.review.noDiff.gitInit.createRepository":"Ustvari shrambo na Gitu","codex.review.noDiff.gitInit.creating":"Ustvarjanje …","codex.review.noDiff.gitInit.error":"Inicializacija Gita ni uspela: {message}","codex.review.noDiff.gitInit.success":"Shramba na Gitu je bila ustvarjena","codex.review.noDiff.gitRepoRequired.description":"Sledenje in razveljavljanje sprememb v tem projektu","codex.review.noDiff.gitRepoRequired.title":"Ustvarite shrambo na Gitu","codex.review.noDiff.orNoLongerAvailable":"ali najnovejše razlike niso več na voljo","codex.review.noDiff.reverted":"Zadnji korak je bil razveljavljen","codex.review.noDiff.revertedOrCommitted":"Zadnji korak je bil razveljavljen ali zapisan","codex.review.refreshGitQueries":"Osveži","codex.review.revert.file.error":"{path} ni bilo mogoče razveljaviti","codex.review.revert.file.partialSuccess":"{path} je bilo delno razveljavljeno","codex.review.revert.file.success":"{path} je bilo razveljavljeno","codex.review.revert.hunk.error":"Dela kode {hunkNumber} v {path} ni bilo mogoče razveljaviti","codex.review.revert.hunk.partialSuccess":"Del kode {hunkNumber} v {path} je bil delno razveljavljen","codex.review.revert.hunk.success":"Del kode {hunkNumber} v {path} je bil razveljavljen","codex.review.revert.section.error":"Razdelka ni bilo mogoče razveljaviti","codex.review.revert.section.partialSuccess":"Razdelek je bil delno razveljavljen","codex.review.revert.section.success":"Razdelek je bil razveljavljen","codex.review.revertDialog.cancel":"Prekliči","codex.review.revertDialog.confirm":"Potrdi","codex.review.revertDialog.message":"S tem dejanjem boste odstranili vse te spremembe.","codex.review.revertDialog.skip":"Ne sprašuj več","codex.review.revertDialog.title":"Želite razveljaviti spremembe?","codex.review.richPreview.disable":"Onemogoči obogaten predogled","codex.review.richPreview.enable":"Omogoči obogaten predogled","codex.review.source.cloud":"Spremembe v oblaku","codex.review.source.local.all":"Vse spremembe vej","codex.review.source.local.lastTurn":"Spremembe zadnjega koraka","codex.review.source.local.uncommitted":"Nezapisane spremembe","codex.review.source.worktree":"Nezapisane spremembe delovnega drevesa","codex.review.stageFilter.empty.staged.description":"Sprejmite spremembe za njihovo pripravo","codex.review.stageFilter.empty.staged.title":"Ni pripravljenih sprememb","codex.review.stageFilter.empty.unstaged.description":"Tukaj bodo prikazane spremembe kode","codex.review.stageFilter.empty.unstaged.title":"Ni narejenih sprememb","codex.review.stageFilter.staged":"Pripravljeno","codex.review.stageFilter.staged.count":"Pripravljeno · {count}","codex.review.stageFilter.unstaged":"Spremenjeno","codex.review.stageFilter.unstaged.count":"Spremenjeno · {count}","codex.review.switchToSplit":"Preklopi na deljeno razliko","codex.review.switchToUnified":"Združeni prikaz","codex.review.toggleDiffView":"Preklopi pogled razlik","codex.review.wordDiffs.disable":"Onemogoči razlike med besedami","codex.review.wordDiffs.enable":"Omogoči razlike med besedami","codex.review.wrap.disable":"Onemogoči prelom besed","codex.review.wrap.enable":"Omogoči prelom besed","codex.section.patch.missing":"Za ta razdelek ni mogoče ustvariti popravka.","codex.shell.collapse":"Strni ukazno lupino","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Vsebina ukazne lupine je bila kopirana","codex.shell.copy.copyTooltip":"Kopiraj vsebino ukazne lupine","codex.shell.copyCommand":"Kopiraj ukaz","codex.shell.copyOutput":"Kopiraj rezultat","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Razširi ukazno lupino","codex.shell.name":"Ukazna lupina","codex.shell.noOutput":"Brez izhoda","codex.signInFailed.message":"Prijava ni uspela: {rawMessage}","codex.stories.toast.show":"Prikaži obvestilo","codex.stories.tooltip.basic":"To je opis orodja","codex.stories.tooltip.hoverMe":"Zadrži kazalec nad mano","codex.stories.tooltip.largerOffset":"Ta opis orodja ima večji odmik","codex.stories.tooltip.offsetButton":"Večji odmik","codex.stories.tooltip.shortcutButton":"Z bližnjico","codex.stories.tooltip.withShortcut":"Preklopi terminal","codex.taskRow.title":"Nov pogovor","codex.taskRowLayout.confirm":"Potrdi","codex.threadFindBar.chatFilter":"Išči po klepetu","codex.threadFindBar.close":"Zapri iskanje","codex.threadFindBar.diffFilter":"Išči razlike","codex.threadFindBar.label":"Poišči v pogovoru","codex.threadFindBar.nextResult":"Naslednji rezultat","codex.threadFindBar.noResults":"Ni rezultatov","codex.threadFindBar.placeholder":"Iščite po pogovoru …","codex.threadFindBar.placeholder.extension":"Iščite po pogovoru …","codex.threadFindBar.placeholder.review":"Iščite po razlikah …","codex.threadFindBar.placeholder.review.extension":"Iščite po razlikah …","codex.threadFindBar.previousResult":"Prejšnji rezultat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# spremenjena datoteka} two {# spremenjeni datoteki} few {# spremenjene datoteke} other {# spremenjenih datotek}}","codex.unifiedDiff.inlineLargeFile":"Preveliko za upodabljanje v vrstici","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"–{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Razveljavi","codex.unifiedDiff.revertPatchError":"Sprememb ni bilo mogoče razveljaviti","codex.unifiedDiff.revertPatchSuccess":"Spremembe so bile razveljavljene","codex.unifiedDiff.reviewChangesSuffix":"spremembe","codex.unifiedDiff.reviewShort":"Pregled","codex.unifiedDiff.viewDiffTooltip":"Pregled","codex.upsellBanner.business.headline":"Če želite večji dostop, pošljite sporočilo svojemu skrbniku ali počakajte do {resetDate}.","codex.upsellBanner.cbp.headline":"Če želite večji dostop, pošljite sporočilo svojemu skrbniku.","codex.upsellBanner.cta.addCredits":"Dodaj dobroimetje","codex.upsellBanner.cta.upgradeAccount":"Nadgradi","codex.upsellBanner.cta.viewUsage":"Oglejte si uporabo","codex.upsellBanner.free.trialHeadline":"Vaša omejitev uporabe se bo ponastavila {resetDate}. Če želite še naprej uporabljati Codex in pridobiti dostop do GPT-5.3-Codex, začnite brezplačni preizkus naročniškega paketa Plus še danes.","codex.upsellBanner.freeOrGo.headline":"Vaša omejitev hitrosti se ponastavi dne {resetDate}. Če želite še naprej uporabljati Codex, nadgradite na naročnino Plus še danes.","codex.upsellBanner.general.headline":"Vaša omejitev hitrosti se ponastavi dne {resetDate}.","codex.upsellBanner.general.title":"Zmanjkalo vam je sporočil za Codex","codex.upsellBanner.go.trialHeadline":"Vaša omejitev uporabe se bo ponastavila {resetDate}. Če želite še naprej uporabljati Codex, brezplačno preizkusite naročniški paket Plus še danes.","codex.upsellBanner.plus.headline":"Vaša omejitev hitrosti se ponastavi dne {resetDate}. Če želite še naprej uporabljati Codex, dodajte dobroimetje ali nadgradite na naročnino Pro še danes.","codex.upsellBanner.pro.headline":"Vaša omejitev hitrosti se ponastavi dne {resetDate}. Dodajte dobroimetje, da boste lahko še naprej uporabljali Codex.","codex.userMessage.autoResolveSync":"Samodejno reševanje konfliktov","codex.userMessage.commentCount":"{count, plural, one {# komentar} two {# komentarjev} few {# komentarjev} other {# komentarjev}}","codex.userMessage.copiedAriaLabel":"Kopirano","codex.userMessage.copiedTooltip":"Kopirano","codex.userMessage.copyAriaLabel":"Kopiraj sporočilo","codex.userMessage.copyTooltip":"Kopiraj","codex.userMessage.implementPlan":"Izvedi načrt","codex.userMessage.noContent":"(ni vsebine)","codex.userMessage.priorConversation":"Sklicuje se na prejšnji pogovor","codex.userMessage.reviewMode":"Način pregleda","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"za {query}","codex.webSearch.summary.verb.completed":"Iskano po spletu","codex.webSearch.summary.verb.inProgress":"Iskanje po spletu","codex.windowsInstallWslBanner.dismiss":"Zavrni","codex.windowsInstallWslBanner.installWslCta":"Omogoči peskovnik","codex.windowsInstallWslBanner.learnMore":"Izvedite več","codex.windowsSandboxBanner.content":"Agentski način uporablja eksperimentalni peskovnik v sistemu Windows za omejitev dostopa do datotečnega sistema in omrežja. {sandboxLink}","codex.windowsSandboxBanner.title":"Omogočite peskovnik za agentski način","codex.windowsSubDropdown.windowsSandbox":"Peskovnik sistema Windows","codex.windowsSubDropdown.windowsSettings":"Nastavitve sistema Windows","codexUpgradeModal.body":"Naš najnovejši vrhunski agentski model za programiranje – pametnejši, hitrejši in zmogljivejši za splošno tehnično delo. {link}","codexUpgradeModal.close":"Zapri","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Izvedite več","codexUpgradeModal.title":"Predstavljamo GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Preizkusite GPT-5.3-Codex zdaj","codexUpgradeModal.useExistingModel":"Nadaljuj s trenutnim modelom","commentAttachments.numComments":"{count, plural, one {# komentar} two {# komentarja} few {# komentarji} other {# komentarjev}}","commentAttachments.removeAriaLabel":"Odstrani priponko s komentarji","common.close":"Zapri","composer.addContext.openFilePickerError":"Izbirnika datotek ni mogoče odpreti","composer.addContextDropdown.ariaLabel":"Vse datoteke in še več","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Vse datoteke in še več","composer.addPhotosAndFiles":"Dodaj fotografije in datoteke","composer.atMentionList.emptyQuery":"Vnesite besedilo za iskanje datotek","composer.atMentionList.loading":"Iskanje …","composer.atMentionList.noResults":"Ni rezultatov","composer.attemptsSelector.option":"{count, plural, one {# različica} two {# različici} few {# različice} other {# različic}}","composer.attemptsSelector.tooltip":"Število vzporednih poskusov, ki jih izvede Codex","composer.attemptsSelector.trigger":"{count}×","composer.backgroundTerminals.stop":"Ustavi","composer.cloudFollowUp.cloud":"V oblaku","composer.cloudFollowUp.local":"Lokalno","composer.cloudFollowUp.whereRun":"Kje naj se izvaja to nadaljnje spremljanje?","composer.cloudTaskCreationError":"Pri ustvarjanju naloge v oblaku je prišlo do napake","composer.cloudTaskError":"Pri ustvarjanju naloge je prišlo do napake","composer.contextWindow.autoCompactionTooltipLine1":"Codex samodejno stisne svoj kontekst","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontekstno okno:","composer.contextWindowUsageStatusFull":"{usage} % zapolnjeno","composer.contextWindowUsageStatusLeft":"{usage} % uporabljeno ({remaining} % preostalo)","composer.contextWindowUsageTooltip":"{usedTokens} k/{contextWindow} k členov je bilo uporabljenih","composer.customCliTooltip":"Uporaba izvedljivega vmesnika ukazne vrstice po meri","composer.dictation.aria":"Narekuj","composer.dictation.cancel.aria":"Ustavi narek","composer.dictation.cancel.tooltip":"Ustavi narek","composer.dictation.startError":"Narekovanja ni mogoče začeti","composer.dictation.submit.aria":"Prepiši in pošlji","composer.dictation.submit.tooltip":"Prepiši in pošlji","composer.dictation.tooltip":"Držite za narekovanje","composer.dictation.transcribeError":"Zvoka ni mogoče prepisati","composer.dictation.unsupported":"Narekovanje ni na voljo na tej napravi","composer.dropOverlay.holdShift":"Držite {key}, da spustite","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Ustvari nov","composer.environmentSelector.error":"Pri nalaganju okolij je prišlo do napake","composer.environmentSelector.goBack":"Nazaj na urejevalnik","composer.environmentSelector.title":"Izberite okolje","composer.environmentSelector.tooltip":"Izberite okolje v oblaku","composer.feedbackSlashCommand.title":"Povratne informacije","composer.filePicker.selectFile":"Izberite datoteko","composer.filePicker.selectFiles":"Izberite datoteke","composer.followerTooltip":"Za nadaljevanje se vrnite v okno, kjer se je ta pogovor začel.","composer.footer.branchSwitch.checkoutError":"Veje ni bilo mogoče zamenjati: {message}","composer.footer.branchSwitch.createAndCheckout":"Ustvari in izberi novo vejo …","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Zapišite spremembe, da ustvarite in izberete novo vejo","composer.footer.branchSwitch.createBranchError":"Veje ni bilo mogoče ustvariti: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Ime veje","composer.footer.branchSwitch.createDialog.branchExistsError":"Veja že obstaja.","composer.footer.branchSwitch.createDialog.close":"Zapri","composer.footer.branchSwitch.createDialog.createAndCheckout":"Ustvari in izberi","composer.footer.branchSwitch.createDialog.placeholder":"nova-veja","composer.footer.branchSwitch.createDialog.title":"Ustvarite in izberite vejo","composer.footer.branchSwitch.createDialog.trailingSlashError":"Ime veje se ne sme končati z »/«.","composer.footer.branchSwitch.tooltip":"Zamenjaj vejo","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Zapišite spremembe v {fileCount, plural, one {# datoteka} two {# datoteke} few {# datoteke} other {# datoteke}}, da izberete {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Zapis sprememb","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"spremembe v {fileCount, plural, one {# datoteka} two {# datoteke} few {# datoteke} other {# datoteke}} za izbiro {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Prekliči","composer.footer.branchSwitch.uncommittedDialog.commit":"Zapiši in zamenjaj vejo …","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Spremembe naslednjih datotek bodo ob izbiri prepisane:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Za nadaljevanje zapišite spremembe","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"izbrana veja","composer.footer.branchSwitch.uncommittedDialog.title":"Za zamenjavo veje zapišite spremembe","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Nezapisano: {fileCount, plural, one {# datoteka} two {# datoteki} few {# datoteke} other {# datotek}}","composer.forkSlashCommand.description":"Osami ta pogovor v lokalno ali novo delovno drevo","composer.forkSlashCommand.option.local.description":"Nadaljuj v novem lokalnem pogovoru","composer.forkSlashCommand.option.local.title":"Osami v lokalno","composer.forkSlashCommand.option.worktree.description":"Nadaljuj v novem delovnem drevesu","composer.forkSlashCommand.option.worktree.title":"Osami v novo delovno drevo","composer.forkSlashCommand.title":"Osami","composer.ideContextIndicator":"Kontekst iz IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Vključi kontekst iz IDE","composer.ideContextIndicator.tooltipToggle":"za preklop","composer.ideContextSlashCommand.disableDescription":"Izklopi kontekst iz IDE","composer.ideContextSlashCommand.enableDescription":"Vključite trenutni izbor, odprte datoteke in drug kontekst iz vašega integriranega razvojnega okolja (IDE)","composer.ideContextSlashCommand.title":"Kontekst iz IDE","composer.imageInputsUnsupported":"Ta model ne podpira slikovnih vnosov. Poskusite z drugim modelom.","composer.imageUploadFailed":"Slike ni bilo mogoče naložiti","composer.includeIdeContextDropdown":"Vključi IDE-kontekst","composer.includeIdeContextDropdown.ariaLabel":"Vključi IDE-kontekst","composer.localCwdDropdown.addWorkspaceRoot":"Dodaj nov projekt","composer.localCwdDropdown.noActiveRoot":"Izberite svoj projekt","composer.localCwdDropdown.noResults":"Ni map","composer.localCwdDropdown.title":"Izberite svoj projekt","composer.localTaskError":"Pri vzpostavljanju pogovora je prišlo do napake","composer.mcpSlashCommand.description":"Prikaži stanje MCP-strežnika","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Pristnost ni potrjena","composer.mcpStatus.authOauth":"Pristnost je potrjena (OAuth)","composer.mcpStatus.authToken":"Pristnost je potrjena (API-ključ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Zapri","composer.mcpStatus.disabled":"Onemogočeno","composer.mcpStatus.emptyLabel":"Strežniki:","composer.mcpStatus.emptyValue":"Ni konfiguriranih MCP-strežnikov","composer.mcpStatus.enabled":"Omogočeno","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Stanja MCP-ja ni mogoče naložiti","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Zamenjaj način","composer.mode.agentMode.custom":"Po meri","composer.mode.agentMode.custom.dropdownLabel":"Po meri","composer.mode.agentMode.custom.option":"Po meri (config.toml)","composer.mode.agentMode.custom.optionLabel":"Po meri (config.toml)","composer.mode.agentMode.customInfo.cancel":"Prekliči","composer.mode.agentMode.customInfo.cli":"Te nastavitve lahko prilagodite iz vmesnika ukazne vrstice ali z neposrednim urejanjem datoteke.","composer.mode.agentMode.customInfo.confirm":"Uporabi način po meri","composer.mode.agentMode.customInfo.description":"Način po meri uporablja pravila za odobritve in peskovnike, opredeljene v vašem <link>config.toml</link>.","composer.mode.agentMode.customInfo.docs":"Izvedite več o konfiguriranju pravil za odobritve in peskovnike v <link>dokumentaciji izvajalnega okolja</link>.","composer.mode.agentMode.customInfo.refresh":"Vse spremembe začnejo veljati ob naslednjem zagonu agenta.","composer.mode.agentMode.customInfo.title":"Kako deluje način po meri","composer.mode.agentMode.fullAccess":"Agent (polni dostop)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (polni dostop)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (polni dostop)","composer.mode.agentMode.fullAccessConfirm.caution":"Bodite previdni, ko omogočite polni dostop. To znatno poveča tveganje za izgubo ali uhajanje podatkov ali nepričakovano vedenje.","composer.mode.agentMode.fullAccessConfirm.confirm":"Da, vseeno nadaljuj","composer.mode.agentMode.fullAccessConfirm.description":"Ko Codex deluje s polnim dostopom, lahko ureja katerokoli datoteko na vašem računalniku in izvaja ukaze prek omrežja brez vašega dovoljenja.","composer.mode.agentMode.fullAccessConfirm.goBack":"Prekliči","composer.mode.agentMode.fullAccessConfirm.title":"Želite dovoliti polni dostop?","composer.mode.agentMode.readOnly":"Klepet","composer.mode.agentMode.readOnly.dropdownLabel":"Klepet","composer.mode.agentMode.readOnly.optionLabel":"Klepet","composer.mode.agentMode.tooltip":"Zamenjaj način","composer.mode.agentMode.tooltip.auto":"Branje in urejanje datotek ter izvajanje ukazov.","composer.mode.agentMode.tooltip.custom":"Uporabi najnovejša pravila za odobritve in peskovnike, opredeljene v config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex lahko ureja datoteke zunaj projekta in izvaja ukaze z dostopom do omrežja. Pri uporabi bodite previdni.","composer.mode.agentMode.tooltip.readOnly":"Zahteva odobritev za urejanje datotek in izvajanje ukazov.","composer.mode.cloud.tooltip":"Delo v okolju v oblaku","composer.mode.contactAdmin":"Za večji dostop se obrnite na skrbnika","composer.mode.local":"Lokalno","composer.mode.local.learnMore":"Izvedite več","composer.mode.local.model.custom":"Po meri","composer.mode.local.model.loadingModel":"Nalaganje modela","composer.mode.local.model.selecrReasoningEffort":"Izberi sklepanje","composer.mode.local.model.selectModel":"Izberi model","composer.mode.local.model.tooltip":"Izberi model","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Visoko","composer.mode.local.reasoning.low.label":"Nizko","composer.mode.local.reasoning.medium.label":"Srednje","composer.mode.local.reasoning.minimal.label":"Najmanj","composer.mode.local.reasoning.none.label":"Brez","composer.mode.local.reasoning.xhigh.label":"Zelo poglobljeno","composer.mode.localRemoteWhereRun":"Izberite, kje želite izvesti nalogo","composer.mode.newTask.header":"Nadaljuj v","composer.mode.rateLimit.day":"{days} dni","composer.mode.rateLimit.heading":"Preostale omejitve uporabe","composer.mode.rateLimit.hour":"{hours} h","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"Omejitev {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {tedenska omejitev} two {{weeks}-tedenska omejitev} few {{weeks}-tedenska omejitev} other {{weeks}-tedenska omejitev}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Tedensko} two {{weeks} tedna} few {{weeks} tedni} other {{weeks} tednov}}","composer.mode.remote.connectToCloud":"Poveži Codex na spletu","composer.mode.remote.connectToCloudDisabledTooltip":"Nastavi okolje prek Codexa na spletu, da se omogoči pošiljanje nalog v oblak","composer.mode.remote.selectEnvironment":"Izberite okolje","composer.mode.remote.sendToCloud":"Pošlji v oblak","composer.mode.remote.setupViaWeb":"Nastavi okolje prek spletnega mesta Codexa","composer.mode.runInCloud":"V oblaku","composer.mode.runInCloudWithEnvironment":"V oblaku · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Delo v okolju v oblaku","composer.mode.segmentedToggle.local.tooltip":"Delajte v svojem lokalnem projektu","composer.mode.segmentedToggle.worktree.tooltip":"Delo v vzporednem delovnem drevesu","composer.mode.upgradeToPlus":"Nadgradite na Plus","composer.mode.upgradeToPro":"Nadgradite na Pro","composer.mode.workLocally":"Lokalni projekt","composer.mode.workLocally.currentBranchFallback":"vaša veja","composer.mode.workLocally.tooltip":"Delo v {branchName}","composer.mode.worktree":"Novo delovno drevo","composer.mode.worktree.submoduleWarning":"To skladišče ima podmodule git. Ustvarjanje delovnega drevesa morda ne bo uspelo.","composer.mode.worktree.tooltip":"Ustvarite kopijo lokalnega projekta za vzporedno delo","composer.mode.worktreeSegment":"Delovno drevo","composer.modelChangeDuringConversationWarning.toast":"Menjava modelov sredi pogovora bo poslabšala delovanje.","composer.newChat.heading.browser":"Kaj bomo programirali kot naslednje?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex uporablja dovoljenje, določeno v config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ima poln dostop do vašega računalnika (povečano tveganje)","composer.permissionsDropdown.custom.label":"Po meri (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Po meri (config.toml)","composer.permissionsDropdown.default.label":"Privzeta dovoljenja","composer.permissionsDropdown.default.optionLabel":"Privzeta dovoljenja","composer.permissionsDropdown.default.tooltip":"Codex samodejno izvaja ukaze v peskovniku","composer.permissionsDropdown.disabled.requirements":"Dovoljenja so zaklenjena z datoteko requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Polni dostop je onemogočen z requirements.toml","composer.permissionsDropdown.fullAccess.label":"Poln dostop","composer.permissionsDropdown.fullAccess.optionLabel":"Poln dostop","composer.permissionsDropdown.trigger.tooltip":"Spremeni dovoljenja","composer.personalitySlashCommand.description.friendly":"Prijeten, sodelovalen in ustrežljiv","composer.personalitySlashCommand.description.pragmatic":"Jedrnat, osredotočen na nalogo in neposreden","composer.personalitySlashCommand.label.friendly":"Prijazen","composer.personalitySlashCommand.label.pragmatic":"Pragmatičen","composer.personalitySlashCommand.notApplicableSuffix":"(Ne velja za trenutni model)","composer.personalitySlashCommand.title":"Osebnost","composer.placeholder.cloudFollowUp.directFollowUp":"Nadaljujte s to nalogo v oblaku","composer.placeholder.cloudFollowUp.local":"Ustvarite novo lokalno nalogo, ki se sklicuje na to nalogo v oblaku","composer.placeholder.cloudFollowUp.workingTree":"Ustvarite novo nalogo v oblaku, ki vključuje vašo trenutno kodo in se bo sklicevala na to nalogo","composer.placeholder.localFollowUp.cloud":"Nadaljnje z novo nalogo v oblaku","composer.placeholder.localFollowUp.locally":"Zahtevajte nadaljnje spremembe","composer.placeholder.newTask.cloud":"Prosite Codex, naj izvede karkoli v oblaku","composer.placeholder.newTask.doAnything":"Prosite Codex za karkoli","composer.placeholder.newTask.locally":"Vprašajte Codex karkoli, @ za dodajanje datotek, / za ukaze","composer.planModeDropdown":"Način naročnine","composer.planModeDropdown.ariaLabel":"Način naročnine","composer.planModeIndicator":"Načrtuj","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Ustvari načrt s Codexom","composer.planModeIndicator.tooltipToggle":"za preklop","composer.planSlashCommand.disableDescription":"Izklopi način naročnine","composer.planSlashCommand.enableDescription":"Vklopi način naročnine","composer.planSlashCommand.title":"Način naročnine","composer.priorContext.label":"Prejšnji kontekst","composer.priorContext.removeAriaLabel":"Odstrani prejšnji kontekst","composer.queuedMessage.delete":"Izbriši sporočilo v čakalni vrsti","composer.queuedMessage.edit":"Uredi sporočilo","composer.queuedMessage.more":"Dejanja za sporočilo v čakalni vrsti","composer.queuedMessage.sendNow":"Vodenje","composer.queuedMessage.sendNowTooltip":"Pošlji zdaj brez prekinitve dela","composer.queuedMessage.turnOff":"Izklopi čakalno vrsto","composer.reasoningEffort.local.reasoning.tooltip":"Izberi stopnjo sklepanja","composer.remote.branchStartingPoint":"S katero vejo naj se ta naloga začne?","composer.remote.branchesSectionHeading":"Veje","composer.remote.currentEditsSuffix.followUp":"Ustvarite novo nalogo, ki se sklicuje na to nalogo v oblaku.","composer.remote.currentEditsSuffix.useLocal":"z lokalnimi spremembami kode","composer.remote.directFollowUp":"Ne uporabi lokalnih sprememb","composer.remote.errorLoadingBranches":"Pri nalaganju vej je prišlo do napake","composer.remote.fromBranch":"Od {branch}","composer.remote.fromCurrentBranch":"Iz {branch} (trenutno)","composer.remote.loadingMoreBranches":"Nalaganje …","composer.remote.localFileStateHeading":"Stanje lokalne datoteke","composer.remote.localWorkingTree":"Uporabi lokalne spremembe","composer.remote.startingPoint":"S katero kodo naj se ta naloga začne?","composer.reviewMode.branches.error":"Vej ni bilo mogoče naložiti","composer.reviewMode.branches.retry":"Poskusi znova","composer.reviewMode.gitRoot.error":"Korenskega imenika za Git ni bilo mogoče najti","composer.reviewMode.option.baseBranch.simple":"Pregled glede na osnovno vejo","composer.reviewMode.option.unstaged.simple":"Preglej nezapisane spremembe","composer.reviewMode.quickReviewError":"Pregleda kode ni bilo mogoče začeti.","composer.reviewMode.title":"Pregled kode","composer.sandboxButton.unlock.disabled.tooltip":"Polni dostop je onemogočen z requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex lahko v sistemu Windows uporabi eksperimentalni peskovnik za omejitev dostopa do datotečnega sistema in omrežja. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Želite omogočiti peskovnik sistema Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Uporabi le za branje","composer.searchEnvironments":"Iščite po okoljih","composer.skillMentionList.app":"Aplikacija","composer.skillMentionList.loading":"Nalaganje spretnosti …","composer.skillMentionList.noResults":"Ni bilo najdenih spretnosti","composer.slashCommands.cloudEnvironment.title":"Okolje v oblaku","composer.slashCommands.dialogLabel":"Meni ukazov s poševnico","composer.slashCommands.dialogTitle":"Ukazi s poševnico","composer.slashCommands.disabledTooltip":"Začni nov pogovor z uporabo ukazov s poševnico","composer.slashCommands.inputPlaceholder":"Išči","composer.slashCommands.noResults":"Ni ukazov","composer.slashCommands.skillsGroup":"Spretnosti","composer.slashCommands.tooltip":"Brskaj po ukazih s poševnico","composer.status.close":"Zapri","composer.statusPlain.alertLabel":"Opozorilo:","composer.statusPlain.alertValue":"Še {remaining} % na {window}","composer.statusPlain.contextLabel":"Kontekst:","composer.statusPlain.contextTotal":"{count} K","composer.statusPlain.contextValueMetadata":"(Uporabljeno {used}/{total})","composer.statusPlain.contextValueRemaining":"Še {remaining} %","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"Omejitev {modelName}:","composer.statusPlain.rateLimitDays":"Omejitev {count} d","composer.statusPlain.rateLimitFallbackLabel":"Omejitev:","composer.statusPlain.rateLimitHours":"Omejitev {count} h","composer.statusPlain.rateLimitLabelBase":"Omejitev","composer.statusPlain.rateLimitMinutes":"Omejitev {count} m","composer.statusPlain.rateLimitPercent":"Še {remaining} %","composer.statusPlain.rateLimitReset":"ponastavi se {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"čas ponastavitve ni na voljo","composer.statusPlain.rateLimitUnavailable":"Ni na voljo","composer.statusPlain.sessionCopiedAriaLabel":"ID seje je bil kopiran","composer.statusPlain.sessionCopiedTooltip":"ID je bil kopiran","composer.statusPlain.sessionCopyAriaLabel":"Kopiraj ID seje","composer.statusPlain.sessionCopyTooltip":"Kopiraj ID","composer.statusPlain.sessionLabel":"Seja:","composer.statusSlashCommand.description":"Prikaži ID pogovora, uporabo konteksta in omejitve","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"V redu","composer.submit.blockedDialogTitle":"Sporočila ni bilo mogoče poslati","composer.submit.emptyMessage":"Vnesite sporočilo, da začnete","composer.submit.imageInputsUnsupported":"Odstranite slike ali zamenjajte modele, da pošljete to sporočilo.","composer.submit.loadingLocalConfig":"Nalaganje …","composer.submit.missingCloudConfig":"Izbrati morate okolje v oblaku","composer.submit.missingCloudTurn":"Te naloge ni mogoče nadaljevati","composer.submit.noWorkspace":"Dodajte projekt za uporabo Codexa","composer.submit.waitForImageUploads":"Nalaganje slik …","composer.submitButtonTooltip.send":"Pošlji","composer.submitButtonTooltip.stop":"Ustavi","composer.worktreeEnvironment.create":"Ustvari lokalno okolje","composer.worktreeEnvironment.default":"Privzeto okolje","composer.worktreeEnvironment.error":"Pri nalaganju okolij je prišlo do napake","composer.worktreeEnvironment.loading":"Nalaganje okolij …","composer.worktreeEnvironment.title":"Lokalno okolje","composer.worktreeEnvironment.tooltip":"Izberi lokalno okolje","composer.worktreeSetupFailed":"Delovnega drevesa ni bilo mogoče nastaviti. Preverite .codex/environments za namestitveno skripto.","compoundButton.secondaryAction":"Sekundarno dejanje","copyButton.copied":"Kopirano","copyButton.copiedAriaLabel":"Kopirano","copyButton.copy":"Kopiraj","copyButton.copyAriaLabel":"Kopiraj","copyButton.copyCode":"Kopiraj kodo","diff.actionButton.revertFile":"Povrni datoteko","diff.actionButton.revertHunk":"Razveljavi","diff.actionButton.revertSection":"Razveljavi vse","diff.actionButton.revertSectionLabel":"Razveljavi vse","diff.actionButton.stageFile":"Pripravi datoteko","diff.actionButton.stageHunk":"Priprava","diff.actionButton.stageSection":"Pripravi vse","diff.actionButton.stageSectionLabel":"Pripravi vse","diff.actionButton.unstageFile":"Spremeni datoteko","diff.actionButton.unstageHunk":"Spremeni","diff.actionButton.unstageSection":"Spremeni vse","diff.actionButton.unstageSectionLabel":"Spremeni vse","diff.fileHeader.toggle":"Preklopi razlike v datotekah","electron.onboarding.login.apikey.cancel":"Prekliči","electron.onboarding.login.apikey.continue":"Nadaljuj","electron.onboarding.login.apikey.label":"API-ključ OpenAI-ja","electron.onboarding.login.apikey.open":"Vnesi API-ključ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Prekliči prijavo","electron.onboarding.login.chatgpt.continue":"Nadaljuj z računom za ChatGPT","electron.onboarding.login.devbox":"Poveži z oddaljenim SSH","electron.onboarding.login.error":"Prijava ni uspela: {rawMessage}","electron.onboarding.login.snake.start":"Igraj kačo","electron.onboarding.login.sshConfig.cancel":"Prekliči","electron.onboarding.login.sshConfig.continue":"Nadaljuj","electron.onboarding.login.sshConfig.hostnameLabel":"Ime gostitelja SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Najboljši način za delo z agenti","electron.onboarding.login.title":"Dobrodošli v Codexu","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Nadaljuj","electron.onboarding.welcome.doubleLimits.description":"Ob predstavitvi aplikacije Codex vam do 2. aprila podarjamo 2× manjše omejitve uporabe.","electron.onboarding.welcome.freego.description":"Codex je brezplačno vključen v vaš naročniški paket do 2. marca – začnimo graditi skupaj.","electron.onboarding.welcome.new.title.anon":"Dobrodošli!","electron.onboarding.workspace.continue":"Nadaljuj","electron.onboarding.workspace.empty":"Za nadaljevanje dodajte projekt.","electron.onboarding.workspace.listLabel":"Razpoložljivi projekti","electron.onboarding.workspace.loading":"Nalaganje projektov …","electron.onboarding.workspace.openFolder":"Dodaj projekt","electron.onboarding.workspace.selectAll":"Izberi vse","electron.onboarding.workspace.skip":"Preskoči","electron.onboarding.workspace.skip.error":"Ni bilo mogoče ustvariti novega projekta: {message}","electron.onboarding.workspace.skip.error.unknown":"Neznana napaka","electron.onboarding.workspace.skipping":"Ustvarjanje novega projekta …","electron.onboarding.workspace.subtitle":"Codex bo lahko urejal datoteke in izvajal ukaze v izbranih mapah.","electron.onboarding.workspace.title":"Izberite projekt","errorPage.list.checkSettings":"Poskusite posodobiti nastavitve za IDE","errorPage.list.configToml":"Preverite neveljavne nastavitve za config.toml","errorPage.list.downloadExtension":"Poskusite prenesti drugo različico razširitve","errorPage.list.runInWsl":"Če imate težave z združljivostjo, preverite nastavitve, da onemogočite izvajanje v WSL-ju","execApprovalRequest.menu.runAlways":"Da in v tej seji ne sprašuj več","execApprovalRequest.menu.runAlwaysWithAmendment":"Da, in ne zahtevaj več ukazov, ki se začnejo z {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Da, in ne zahtevaj več ukazov, ki se začnejo z","execApprovalRequest.menu.runOnce":"Da","execApprovalRequest.prompt":"Želite izvesti ta ukaz?","execApprovalRequest.reject":"Ne","execFooter.exitCode":"Izhodna koda {code}","execFooter.exitCode.unknown":"neznano","execFooter.success":"Uspeh","feedback.dialog.category.badResult":"Slab rezultat","feedback.dialog.category.bug":"Napaka","feedback.dialog.category.goodResult":"Dober rezultat","feedback.dialog.category.other":"Drugo","feedback.dialog.descriptionPlaceholder":"Opišite težavo tukaj","feedback.dialog.dismiss":"Zavrni","feedback.dialog.includeLogsLabel":"Vključi trenutne dnevnike sej Codexa","feedback.dialog.submit":"Oddaj","feedback.dialog.submitError":"Vaših povratnih informacij ni bilo mogoče oddati. Poskusite znova čez nekaj trenutkov.","feedback.dialog.title":"Povratne informacije","feedback.dialog.uploadedMessage.existingIssue":"obstoječe odprto vprašanje","feedback.dialog.uploadedMessage.openIssue":"odprite napako na GitHubu","feedback.dialog.uploadedMessage.withThread":"Povratne informacije so bile naložene. Če težave ni mogoče odpraviti, {openIssueLink} ali pa navedite ID pogovora v {existingIssueLink}:","feedback.dialog.uploadedTitle":"Povratne informacije so bile naložene","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Odstrani {filename}","header.back":"Nazaj","header.recentChats":"Naloge","header.recentTasks.seeAll":"Prikaži vse ({total})","home.header.getPlus":"Pridobite Plus","home.hero.letsBuild":"Gradimo","homePage.mainContent":"Osrednja vsebina","imageAttachment.defaultName":"slika","imageAttachment.preview.close":"Zapri predogled slike","imageAttachment.removeAriaLabel":"Odstrani {filename}","implementPlanRequest.option.implement":"Da, izvedi ta načrt","implementPlanRequest.prompt":"Želite izvesti ta načrt?","inbox.archived.deleteError":"Arhivirane izvedbe ni bilo mogoče izbrisati","inbox.archived.deleteRun":"Izbriši arhivirano izvedbo","inbox.archived.deleteSuccess":"Arhiviran pogovor je bil izbrisan. Oglejte si <settingsLink>arhivirane pogovore</settingsLink>.","inbox.archived.inlineLabel.auto":"Ta pogovor je bil samodejno arhiviran. <learnMoreLink>Izvedite več</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ta pogovor je bil arhiviran.","inbox.archived.noMessageFound":"Sporočila ni bilo mogoče najti","inbox.automations.createError":"Avtomatizacije ni bilo mogoče ustvariti","inbox.automations.deleteConfirm.cancel":"Prekliči","inbox.automations.deleteConfirm.confirm":"Izbriši avtomatizacijo","inbox.automations.deleteConfirm.description":"S tem boste trajno izbrisali avtomatizacijo in ustavili vse prihodnje izvedbe.","inbox.automations.deleteConfirm.title":"Želite izbrisati {name}?","inbox.automations.deleteError":"Avtomatizacije ni bilo mogoče izbrisati","inbox.automations.editTooltip":"Uredite avtomatizacijo","inbox.automations.inProgress":"V teku","inbox.automations.new":"Novo","inbox.automations.newToolbar":"Nova avtomatizacija","inbox.automations.pauseTooltip":"Zaustavi avtomatizacijo","inbox.automations.resumeTooltip":"Nadaljuj avtomatizacijo","inbox.automations.startingNow":"Začenši zdaj","inbox.automations.startsIn":"Začne se {startTime}.","inbox.automations.status.active":"Aktivno","inbox.automations.status.paused":"Začasno ustavljeno","inbox.automations.status.runs":"{count} izvedb","inbox.automations.status.started":"Začeto {date}","inbox.automations.updateError":"Avtomatizacije ni bilo mogoče posodobiti","inbox.automations.workspaceFallback":"–","inbox.filter.all":"Vse","inbox.filter.ariaLabel":"Filtriraj elemente v nabiralniku","inbox.filter.unread":"Ni prebrano","inbox.list.archived":"Arhivirano","inbox.list.inProgress":"V teku","inbox.list.recent":"Končano","inbox.list.upNext":"Načrtovano","inbox.mode.automations":"Avtomatizacije","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Ni opisa","inbox.openThread":"Odpri pogovor","inbox.rightPanel.emptySubtitle":"Avtomatizirajte delo z nastavitvijo načrtovanih nalog","inbox.rightPanel.emptySubtitle.learnMore":"Avtomatizirajte delo z nastavitvijo načrtovanih pogovorov. <link>Izvedite več</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktivna avtomatizacija} two {# aktivni avtomatizaciji} few {# aktivne avtomatizacije} other {# aktivnih avtomatizacij}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Ni neprebranih avtomatizacij","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# neprebrana avtomatizacija} two {# neprebrani avtomatizaciji} few {# neprebrane avtomatizacije} other {# neprebranih avtomatizacij}}","inbox.rightPanel.emptyTitle":"Noben element ni izbran","inbox.rightPanel.noThread":"Za ta element ni pogovora","inbox.rightPanel.quickStart.header":"Začni s predlogo","inbox.untitled":"Neimenovan element v nabiralniku","loadingPage.documentationLink":"dokumentacija","loadingPage.errorDescription":"Codex se je sesul zaradi naslednje napake:","loadingPage.errorDescription.documentation":"Kliknite »Znova naloži«, da znova zaženete razširitev za Codex, ali pa obiščite našo stran {documentationLink} za dodatno pomoč.","loadingPage.errorSignal":"Nekaj ​​stvari, ki jih lahko poskusite:","loadingPage.errorTitle":"Prišlo je do napake","loadingPage.openConfigToml":"Odpri config.toml","loadingPage.reload":"Znova naloži","localConversation.contextCompacted":"Kontekst se samodejno stisne","localConversation.contextCompacting":"Samodejno stiskanje konteksta","localConversation.forkedFromConversation":"Osamitev iz {threadTitle}","localConversation.merge.autoResolve.failed":"Zahteva za samodejno razrešitev ni uspela: {error}","localConversation.merge.autoResolve.sent":"Zahteva za samodejno razrešitev je bila poslana","localConversation.merge.autoResolveMerge.missingConversation":"Ni mogoče samodejno razrešiti brez aktivnega pogovora.","localConversation.merge.autoResolveMerge.request":"Samodejno razreševanje konfliktov pri združevanju","localConversation.modelChanged":"Model se je spremenil iz {fromModel} v {toModel}.","localConversation.modelChanged.warning.line1":"Menjava modelov sredi pogovora bo poslabšala delovanje.","localConversation.modelChanged.warning.line2":"Kontekst se lahko samodejno stisne.","localConversation.moveThread.createBranch.label":"Ustvari vejo","localConversation.moveToLocal.disabled.loading":"Nalaganje …","localConversation.moveToLocal.modal.continue":"Nadaljuj","localConversation.moveToLocal.modal.destinationLabel":"Premakni v","localConversation.moveToLocal.modal.retry":"Poskusi znova","localConversation.moveToWorktree.modal.back":"Nazaj","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Veja že obstaja.","localConversation.moveToWorktree.modal.branchesError":"Vej ni bilo mogoče naložiti","localConversation.moveToWorktree.modal.branchesLoading":"Nalaganje vej …","localConversation.moveToWorktree.modal.branchesRetry":"Poskusi znova","localConversation.moveToWorktree.modal.continue":"Nadaljuj","localConversation.moveToWorktree.modal.retry":"Poskusi znova","localConversation.moveToWorktree.modal.trailingSlashError":"Ime veje se ne sme končati z »/«.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nova-veja","localConversation.personalityChanged":"Preklopljeno je bilo na osebnost {personality}","localConversation.planSummary.collapse":"Strni povzetek naročniškega paketa","localConversation.planSummary.collapseTooltip":"Strni","localConversation.planSummary.download":"Prenesi načrt","localConversation.planSummary.expand":"Razširi povzetek naročniškega paketa","localConversation.planSummary.expandTooltip":"Razširi","localConversation.planSummary.openInNewWindow":"Odpri","localConversation.planSummary.openInNewWindow.tooltip":"Odpri v novem oknu","localConversation.planSummary.title":"Načrtuj","localConversation.planSummary.titleWriting":"Načrt pisanja","localConversation.planSummary.viewPlan":"Razširi naročniški paket","localConversation.remoteTaskCreated":"V Codex Cloudu je bilo ustvarjeno: {taskLink}","localConversation.remoteTaskCreated.task":"naloga","localConversation.scrollToBottomButton":"Pomakni se na dno","localConversation.sync.buttonLabel":"Predaj v lokalno okolje","localConversation.sync.buttonLabel.tooltip":"Spremembe se prenašajo med tem delovnim drevesom in vašo lokalno izbiro.","localConversation.sync.modal.loading.title":"Predaja sprememb …","localConversation.sync.modal.noChanges":"Ni sprememb","localConversation.syncSetup.branchAriaLabel":"Ime veje","localConversation.syncSetup.branchName":"Ime veje","localConversation.syncSetup.branchPlaceholder.existing":"Izberite obstoječo vejo","localConversation.syncSetup.branchPlaceholder.new":"codex/nova-funkcija","localConversation.syncSetup.branchesLoading":"Nalaganje vej …","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Že izbrano","localConversation.syncSetup.checkoutClean":"Trenutno na {branchName}","localConversation.syncSetup.checkoutDirty":"Trenutno na {branchName} z nezapisanimi spremembami","localConversation.syncSetup.checkoutError":"Veje ni bilo mogoče izbrati: {message}","localConversation.syncSetup.checkoutLabel":"Izberi lokalno zdaj","localConversation.syncSetup.checkoutOnLocal":"Predaj v lokalno okolje","localConversation.syncSetup.checkoutPending":"Preverjanje lokalnega stanja …","localConversation.syncSetup.checkoutUnavailable":"Lokalni delovni prostor ni na voljo","localConversation.syncSetup.checkoutUnknown":"Lokalna veja ni na voljo","localConversation.syncSetup.continue":"Nadaljuj","localConversation.syncSetup.createBranchError":"Veje za predajo ni bilo mogoče ustvariti: {message}","localConversation.syncSetup.error":"Nekaj je šlo narobe: {message}","localConversation.syncSetup.error.workingTreeMissing":"Posnetka delovnega drevesa ni bilo mogoče narediti. Poskusite znova predati.","localConversation.syncSetup.mode.ariaLabel":"Izberi način veje","localConversation.syncSetup.mode.existing":"Obstoječa veja","localConversation.syncSetup.mode.new":"Nova veja","localConversation.syncSetup.noBranches":"Vej ni bilo mogoče najti","localConversation.syncSetup.overwriteError":"Veja je bila ustvarjena, vendar ni v celoti predana. Preden jo izberete v lokalnem okolju, jo ročno predajte.","localConversation.syncSetup.setPrefix":"Nastavi predpono","localConversation.syncSetup.subtitle":"Lokalno preizkusite in uredite spremembe delovnega drevesa. <a>Izvedite več</a>","localConversation.syncSetup.success.checkedOut":"Veja je bila ustvarjena in je lokalno izbrana","localConversation.syncSetup.success.notCheckedOut":"Veja je bila ustvarjena","localConversation.syncSetup.title":"Predajte v lokalno vejo","localConversation.syncWorktreeError.branchAriaLabel":"Ime veje","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/nova-funkcija","localConversation.syncWorktreeError.branchSetup.subtitle":"Izberite vejo, ki ji želite predati spremembe, nato pa poskusite spremembe znova naložiti.","localConversation.syncWorktreeError.branchSetup.title":"Posodobi vejo","localConversation.syncWorktreeError.branchUpdate.cta":"Posodobi in poskusi znova","localConversation.syncWorktreeError.branchUpdate.error":"Veje ni bilo mogoče posodobiti: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Nekaj je šlo narobe: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Veja ni izbrana v nobenem delovnem drevesu.","localConversation.syncWorktreeV2.applyUncommitted":"Uporabi","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Za uporabo nezapisanih sprememb morate lokalno izbrati vejo","localConversation.syncWorktreeV2.branches.empty":"Vej ni bilo mogoče najti","localConversation.syncWorktreeV2.branches.loading":"Nalaganje vej …","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Spremeni vejo za predajo","localConversation.syncWorktreeV2.changeBranch.error":"Veje za predajo ni bilo mogoče spremeniti: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Ni bilo mogoče uporabiti","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Delovnega drevesa ni bilo mogoče prepisati","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Lokalnih sprememb ni bilo mogoče prepisati","localConversation.syncWorktreeV2.commandError.back":"Nazaj","localConversation.syncWorktreeV2.commandError.body":"Ukaz git ni uspel med predajo. Preglejte rezultat in poskusite znova.","localConversation.syncWorktreeV2.commandError.retry":"Poskusi znova","localConversation.syncWorktreeV2.description":"Predajte spremembe med lokalnim in tem delovnim drevesom. <a>Izvedite več</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Izberi smer predaje","localConversation.syncWorktreeV2.error.generic":"Nekaj je šlo narobe med predajo. Poskusite znova.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalno","localConversation.syncWorktreeV2.noChanges":"Izračunavanje sprememb","localConversation.syncWorktreeV2.noChanges.summary":"Ni sprememb","localConversation.syncWorktreeV2.overwrite.local":"Prepiši lokalne spremembe","localConversation.syncWorktreeV2.overwrite.worktree":"Prepiši delovno drevo","localConversation.syncWorktreeV2.partial.action.applyFailed":"Sprememb ni bilo mogoče uporabiti","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Lokalnih sprememb ni bilo mogoče prepisati","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Sprememb delovnega drevesa ni bilo mogoče prepisati","localConversation.syncWorktreeV2.partial.appliedLabel":"Uporabljeno","localConversation.syncWorktreeV2.partial.back":"Nazaj","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Rešite konflikte in poskusite znova.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikti","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {Raziskana je bila # datoteka} two {# datotek} few {# datotek} other {# datotek}}","localConversation.syncWorktreeV2.partial.retry":"Poskusi znova","localConversation.syncWorktreeV2.partial.skippedLabel":"Preskočeno","localConversation.syncWorktreeV2.stateFailed.generic":"Pri pridobivanju sprememb delovnega drevesa za predajo je prišlo do napake. Poskusite znova.","localConversation.syncWorktreeV2.stateFailed.title":"Sprememb delovnega drevesa ni bilo mogoče naložiti","localConversation.syncWorktreeV2.statusError.diffUnknown":"Sprememb delovnega drevesa ni bilo mogoče naložiti.","localConversation.syncWorktreeV2.statusError.retry":"Poskusi znova","localConversation.syncWorktreeV2.statusError.title":"Sprememb lokalne veje ni bilo mogoče naložiti","localConversation.syncWorktreeV2.statusError.unknown":"Status veje trenutno ni na voljo. Poskusite znova.","localConversation.syncWorktreeV2.success.apply":"Spremembe so bile uspešno uporabljene","localConversation.syncWorktreeV2.success.overwrite":"Predaja je bila uspešna","localConversation.syncWorktreeV2.title":"Prenesite spremembe","localConversation.syncWorktreeV2.worktreeLabel":"Delovno drevo","localConversation.userInputRequest.inProgress":"Postavljanje {count, plural, one {vprašanja} two {vprašanj} few {vprašanj} other {vprašanj}}","localConversation.userInputRequest.noAnswer":"Ni podanih odgovorov","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Postavljeno:","localConversation.userInputRequest.summary.count":"{count, plural, one {# vprašanje} two {# vprašanji} few {# vprašanja} other {# vprašanj}}","localConversation.workedFor":"Delovanje {time}","localConversation.worktreeBranchSetup.action.create":"Ustvari","localConversation.worktreeBranchSetup.branchAriaLabel":"Ime veje","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Ustvari novo vejo","localConversation.worktreeBranchSetup.checkoutDisabled":"Ta veja je že izbrana {location}","localConversation.worktreeBranchSetup.checkoutError":"Veje ni bilo mogoče izbrati: {message}","localConversation.worktreeBranchSetup.createBranchError":"Veje ni bilo mogoče nastaviti: {message}","localConversation.worktreeBranchSetup.error":"Nekaj je šlo narobe: {message}","localConversation.worktreeBranchSetup.subtitle":"Ustvarite vejo za zapis sprememb, pošiljanje in ustvarjanje zahteve za združitev kode iz tega delovnega drevesa. <a>Izvedite več</a>","localConversation.worktreeBranchSetup.title":"Delajte tukaj","localConversationPage.addWorktreeToSidebar.tooltip":"Shrani kot projekt, da lahko začneš nove pogovore iz tega delovnega drevesa","localConversationPage.addWorktreeToSidebarError":"Projekta ni bilo mogoče dodati","localConversationPage.commitAndCreatePrModal.errorTitle":"Ni bilo mogoče zapisati sprememb in ustvariti zahteve za združitev kode","localConversationPage.commitAndCreatePrModal.successTitle":"Spremembe so bile zapisane in zahteva za združitev kode je bila ustvarjena","localConversationPage.commitAndPushModal.errorTitle":"Sprememb ni bilo mogoče zapisati in jih poslati","localConversationPage.commitAndPushModal.successTitle":"Spremembe so bile zapisane in poslane","localConversationPage.commitCreatePr.open":"Odpri zahtevo za združitev kode","localConversationPage.commitCreatePr.successTitle":"Ustvarjena zahteva za združitev kode z najnovejšimi spremembami","localConversationPage.createBranchButtonLabel":"Tukaj ustvari vejo","localConversationPage.createPrModal.baseBranch":"Osnova","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Ustvari zahtevo za združitev kode","localConversationPage.createPrModal.createDescription":"Odprite zahtevo za združitev kode za vaše najnovejše spremembe.","localConversationPage.createPrModal.errorTitle":"Zahteva za združitev kode ni uspela","localConversationPage.createPrModal.headBranch":"Glava","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Odpri zahtevo za združitev kode","localConversationPage.createPrModal.successTitle":"Zahteva za združitev kode je bila ustvarjena","localConversationPage.createPrModal.title":"Ustvari zahtevo za združitev kode","localConversationPage.createPrModal.viewDescription":"Za to vejo že obstaja zahteva za združitev kode.","localConversationPage.createPrModal.viewTitle":"Zahteva za združitev kode je pripravljena","localConversationPage.createPullRequestAuthGh":"Preverjanje pristnosti v GitHub CLI: zaženite `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Podatki o veji niso na voljo","localConversationPage.createPullRequestButtonLabel":"Ustvari zahtevo za združitev kode","localConversationPage.createPullRequestButtonLabel.loading":"Ustvarjanje zahteve za združitev kode …","localConversationPage.createPullRequestDefaultBranchMissing":"Podatki o privzeti veji niso na voljo","localConversationPage.createPullRequestError":"Zahteve za združitev kode ni bilo mogoče ustvariti","localConversationPage.createPullRequestExistingPullRequest":"Za to vejo že obstaja zahteva za združitev kode","localConversationPage.createPullRequestGhStatusMissing":"Nalaganje stanja GitHub CLI …","localConversationPage.createPullRequestInstallGh":"Namesti GitHub CLI (gh) za ustvarjanje zahtev za združitev kode","localConversationPage.createPullRequestNoRepo":"Ni najdene shrambe na Gitu","localConversationPage.createPullRequestPushStatusMissing":"Nalaganje statusa pošiljanja sprememb …","localConversationPage.createPullRequestSetUpstream":"Pošlji spremembe te veje, preden ustvariš zahtevo za združitev kode","localConversationPage.createPullRequestSuccessToast":"Zahteva za združitev kode je bila ustvarjena","localConversationPage.createPullRequestSwitchBranch":"Pred ustvarjanjem zahteve za združitev kode preverite vejo funkcij","localConversationPage.error.render":"Pri upodabljanju lokalnega pogovora je prišlo do napake","localConversationPage.error.toast":"Pogovora ni bilo mogoče najti","localConversationPage.forcePushError":"Prisilno pošiljanje sprememb ni uspelo","localConversationPage.generatePullRequestMessageError":"Naslova in telesa zahteve za vlečenje ni bilo mogoče ustvariti.","localConversationPage.generatePullRequestMessageFailed":"Naslova in telesa zahteve za vlečenje ni bilo mogoče ustvariti.","localConversationPage.gitActionResult.branch":"Veja","localConversationPage.gitActionResult.cancel":"Prekliči","localConversationPage.gitActionResult.close":"Zapri","localConversationPage.gitActionResult.tryAgain":"Poskusi znova","localConversationPage.gitActions":"Dejanja na Gitu","localConversationPage.newChat":"Nov klepet","localConversationPage.openInTarget":"Odpri v","localConversationPage.openPrimaryTarget":"Odpri","localConversationPage.planItemsCompleted":"{completedItems} od {totalItems, plural, one {# naloga je končana} two {# nalogi sta končani} few {# naloge so končane} other {# nalog je končanih}}","localConversationPage.pushAuthError":"Sprememb ni bilo mogoče poslati: potrebno je preverjanje pristnosti","localConversationPage.pushBranchMissing":"Podatki o veji niso na voljo","localConversationPage.pushButtonLabel":"Potisna obvestila","localConversationPage.pushButtonLabel.loading":"Pošiljanje sprememb …","localConversationPage.pushError":"Sprememb ni bilo mogoče poslati","localConversationPage.pushModal.branchLabel":"Veja","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Prekliči","localConversationPage.pushModal.confirm":"Pošlji spremembe","localConversationPage.pushModal.description":"Pošljite svoje najnovejše zapise spremembe v oddaljeno shrambo.","localConversationPage.pushModal.errorTitle":"Sprememb ni bilo mogoče poslati","localConversationPage.pushModal.forcePush":"Prisilno pošlji spremembe","localConversationPage.pushModal.successTitle":"Spremembe so bile poslane","localConversationPage.pushModal.title":"Pošlji spremembe","localConversationPage.pushModal.tryAgain":"Poskusi znova","localConversationPage.pushNoUpstream":"Pred pošiljanjem sprememb te veje nastavite izvirno vejo","localConversationPage.pushNoUpstreamError":"Sprememb ni bilo mogoče poslati: izvirna veja ni konfigurirana","localConversationPage.pushNothingToPush":"Ni novih zapisov sprememb za pošiljanje","localConversationPage.pushRemoteChangedError":"Sprememb ni bilo mogoče poslati: oddaljena shramba ima nove zapise sprememb","localConversationPage.pushRemoteRejectedError":"Oddaljena shramba je zavrnila pošiljanje sprememb","localConversationPage.pushStatusMissing":"Nalaganje statusa pošiljanja sprememb …","localConversationPage.pushSuccessToast":"Spremembe so bile poslane","localConversationPage.viewPullRequestButtonLabel":"Prikaži zahtevo za združitev kode","localConversationPage.viewPullRequestButtonLabel.loading":"Nalaganje zahteve za prevzem …","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {Raziskana je bila # datoteka} two {Raziskani sta bili # datoteki} few {Raziskanih je bilo # datotek} other {Raziskanih je bilo # datotek}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# seznam} two {# seznama} few {# seznami} other {# seznamov}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# iskanje} two {# iskanji} few {# iskanja} other {# iskanj}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Raziskovanje","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Raziskano","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} je bilo raziskano","localConversationTurnStory.showContent":"Prikaži vsebino","localConversationTurnStory.streamContent":"Pretočno predvajanje vsebine","localConversationTurnStory.toggleReasoning":"Pokaži sklepanje","localTaskRow.archiveError":"Pogovora ni bilo mogoče arhivirati","localTaskRow.resumeError":"Naloge ni bilo mogoče nadaljevati","mermaidDiagram.ariaLabel":"Diagram v jeziku Mermaid","mermaidDiagram.copySource":"Kopiraj Mermaid","mermaidDiagram.originalCode":"Izvorna koda v jeziku Mermaid","notifications.permissions.description":"Prikaži opozorila, ko so potrebna dovoljenja za obvestila","notifications.permissions.label":"Omogoči obvestila o dovoljenjih","notifications.turnMode.always":"Vedno","notifications.turnMode.description":"Nastavite, kdaj naj vas Codex opozori, da je končano","notifications.turnMode.label":"Vklopi obvestila o dokončanju","notifications.turnMode.off":"Nikoli","notifications.turnMode.unfocused":"Samo ko ni osredotočeno","patchApprovalRequest.approve":"Odobri","patchApprovalRequest.menu.allowAlways":"Da in v tej seji ne sprašuj več","patchApprovalRequest.menu.allowForSession":"Da in v tej seji ne sprašuj več","patchApprovalRequest.menu.allowOnce":"Da","patchApprovalRequest.prompt":"Želite narediti te spremembe?","patchApprovalRequest.reject":"Ne","patchApprovalRequest.waitingForApproval":"Čakanje na odobritev za urejanje datotek","pendingRequest.approvalExec.collapse":"Strni","pendingRequest.approvalExec.expand":"Razširi","pendingRequestStory.toastAnswer":"Odgovor: {answer}","pendingRequestStory.toastApprovalTitle":"Odgovor na odobritev","pendingRequestStory.toastFollowupPrompt":"Poziv: {prompt}","pendingRequestStory.toastFollowupTitle":"Dodatno sporočilo je bilo poslano","pendingRequestStory.toastNoAnswers":"Ni podanih odgovorov","pendingRequestStory.toastQuestion":"Vprašanje: {question}","pendingRequestStory.toastUnknownDecision":"Neznano","pendingRequestStory.toastUserInputTitle":"Poslani odgovori","quickAction.request.codeReview.branches.new":"Preglej spremembe {from} glede na {to}","quickAction.request.codeReview.uncommitted.new":"Preglej moje nezapisane spremembe","reasoningItem.thinking":"Razmišljanje","reasoningItem.thought":"Razmišljanje je končano","reasoningItem.thoughtWithElapsed":"Misel za {elapsed}","recentConversations.title":"Nedavni pogovori","recentTasks.worktreeInitFailedTitle":"Inicializacija delovnega drevesa ni uspela","recentTasks.worktreeSettingUpTitle":"Vzpostavljanje delovnega drevesa","requestInputPanel.continue":"Nadaljuj","requestInputPanel.dismiss":"Zavrni","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Vnesite tukaj","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ne in povejte Codexu, kaj naj stori drugače","requestInputPanel.selectedBadge":"Izbrano","requestInputPanel.skip":"Preskoči","requestInputPanel.submit":"Oddaj","review.commit.ariaLabel.includeUnstaged":"Vključi narejene spremembe","review.commit.buttonLabel":"Zapis sprememb","review.commit.disabled.committing":"Zapisovanje sprememb …","review.commit.disabled.loadingDiff":"Nalaganje razlik …","review.commit.disabled.missingContext":"Dodajte nekaj konteksta za generiranje sporočila o potrditvi","review.commit.disabled.noChanges":"Ni sprememb za zapis","review.commit.disabled.noSelection":"Izberite spremembe za zapis","review.commit.disabled.unavailable":"Zapisovanje sprememb trenutno ni na voljo","review.commit.error":"Sprememb ni bilo mogoče zapisati","review.commit.form.changesToBeCommitted":"Spremembe","review.commit.form.commitTo":"Veja","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Nadaljuj","review.commit.form.title":"Zapišite svoje spremembe","review.commit.generate.emptyResponse":"Sporočila o potrditvi ni bilo mogoče ustvariti.","review.commit.generate.failed":"Sporočila o potrditvi ni bilo mogoče ustvariti: {error}","review.commit.generate.missingPrompt":"Dodajte nekaj konteksta za generiranje sporočila o potrditvi.","review.commit.includeUnstaged":"Vključi narejene spremembe","review.commit.loading.description":"Počakajte, to lahko traja nekaj trenutkov ...","review.commit.loading.step.commit.done":"Zapisane spremembe","review.commit.loading.step.commit.pending":"Zapisovanje sprememb","review.commit.loading.step.createPr.done":"Ustvarjena je bila zahteve za združitev kode","review.commit.loading.step.createPr.pending":"Ustvarjanje zahteve za združitev kode","review.commit.loading.step.push.done":"Poslano v vejo {branch}","review.commit.loading.step.push.pending":"Pošiljanje v vejo {branch}","review.commit.loading.title.commit":"Zapisovanje sprememb","review.commit.loading.title.createPr":"Ustvarjanje zahteve za združitev kode","review.commit.loading.title.push":"Pošiljanje sprememb","review.commit.messageLabel":"Sporočilo zapisa sprememb","review.commit.messagePlaceholder":"Pustite prazno, da samodejno ustvarite sporočilo o zapisu sprememb","review.commit.nextSteps":"Naslednji koraki","review.commit.nextSteps.commit":"Zapis sprememb","review.commit.nextSteps.commitAndCreate":"Zapiši spremembe in ustvari zahtevo za združitev kode","review.commit.nextSteps.commitAndPush":"Zapiši in pošlji spremembe","review.commit.nextSteps.prRequiresGh":"Zahteva GitHub CLI: {command}","review.commit.rows.changes":"Spremembe","review.commit.rows.commitCount":"{count, plural, one {# zapis sprememb} two {# zapisa sprememb} few {# zapisi sprememb} other {# zapisov sprememb}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# zapis sprememb} two {# zapisa sprememb} few {# zapisi sprememb} other {# zapisov sprememb}} in {stats}","review.commit.rows.fileCount":"{count, plural, one {Raziskana je bila # datoteka} two {# datotek} few {# datotek} other {# datotek}}","review.commit.state.error.body":"Med zapisovanjem sprememb je prišlo do napake. Preverite stanje gita in poskusite znova.","review.commit.state.error.title":"Zapisovanje sprememb ni uspelo","review.commit.state.success.title":"Spremembe so bile zapisane","review.commit.untracked.loadingStats":"Nalaganje statistike razlik brez sledenja …","reviewFindingAttachments.count":"{count, plural, one {# izsledek} two {# izsledka} few {# izsledki} other {# izsledkov}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Uredite konfiguracijo, da prilagodite delovanje agenta","settings.agent.configuration.configToml.docs":"Dokumenti","settings.agent.configuration.configToml.restartNote":"Po urejanju znova zaženite Codex, da uporabite spremembe","settings.agent.configuration.subtitle":"Te nastavitve veljajo povsod, kjer se uporablja Codex","settings.automations.banner.danger":"Avtomatizacije se izvajajo z vašimi privzetimi nastavitvami peskovnika, ki so trenutno nastavljene na poln dostop. Izvajanje avtomatizacij v ozadju s polnim dostopom predstavlja povečano tveganje, saj lahko Codex spreminja datoteke, izvaja ukaze in samodejno dostopa do omrežja. Razmislite o posodobitvi nastavitev peskovnika na pisanje v delovnem prostoru in uporabi <rulesDocsLink>pravil</rulesDocsLink> za selektivno določanje, katere ukaze lahko agent izvaja s polnim dostopom.","settings.automations.banner.defaultHowTo.default":"Avtomatizacije se izvajajo z vašimi privzetimi nastavitvami peskovnika. Klici orodij ne bodo uspešni, če zahtevajo spreminjanje datotek zunaj delovnega prostora, dostop do omrežja ali delo z aplikacijami na računalniku. Ukaze za izvajanje zunaj peskovnika lahko z uporabo <rulesDocsLink>pravil</rulesDocsLink> selektivno dodate na seznam dovoljenih.","settings.automations.banner.defaultHowTo.readOnly":"Avtomatizacije se izvajajo s privzetimi nastavitvami peskovnika, ki so nastavljene samo na branje. Klici orodij ne bodo uspešni, če zahtevajo spreminjanje datotek, dostop do omrežja ali delo z aplikacijami na računalniku. Razmislite o posodobitvi nastavitev peskovnika na pisanje v delovnem prostoru.","settings.automations.cancel":"Prekliči","settings.automations.create":"Ustvari","settings.automations.cwdEmpty":"Mape projektov niso na voljo","settings.automations.cwdLabel":"Projekti","settings.automations.cwdPlaceholder":"Izberite mapo","settings.automations.cwdSubtitle":"Če želite, da se avtomatizacija izvaja na določeni veji, jo lahko določite v pozivu.","settings.automations.delete":"Izbriši","settings.automations.dialog.editTitle":"Uredite avtomatizacijo","settings.automations.dialog.newTitle":"Nova avtomatizacija","settings.automations.dialog.subtitle":"Avtomatizirajte ponavljajoča se opravila v ozadju. Codex doda izsledke v nabiralnik ali pa nalogo samodejno arhivira, če ni ničesar za poročanje. <learnMoreLink>Izvedite več</learnMoreLink>","settings.automations.dialog.title":"Ustvarite avtomatizacijo","settings.automations.executionCopy.git":"Avtomatizacije se izvajajo v ozadju na namenskih delovnih drevesih.","settings.automations.executionCopy.nonGit":"Avtomatizacije na projektih brez nadzora različic se izvajajo neposredno v imeniku projektov. Razmislite o uporabi Gita, da omogočite izvajanje v delovnih drevesih v ozadju.","settings.automations.executionEnvironment.local":"Lokalno","settings.automations.executionEnvironment.worktree":"Delovno drevo","settings.automations.loading":"Nalaganje …","settings.automations.nameLabel":"Ime","settings.automations.namePlaceholder":"Preverite težave sentry","settings.automations.pause":"Začasno ustavi","settings.automations.promptLabel":"Poziv","settings.automations.promptPlaceholder":"poiščite prekinitve delovanja v $Sentry","settings.automations.resume":"Nadaljuj","settings.automations.rruleSummaryFallback":"Razpored po meri","settings.automations.runNow":"Preizkus","settings.automations.save":"Shrani","settings.automations.scheduleBadge.dayCount":"{count} dni","settings.automations.scheduleBadge.interval":"{count} h","settings.automations.scheduleBadge.weekdays":"Delovniki","settings.automations.scheduleBadge.weekends":"Konci tedna","settings.automations.scheduleHeader":"Razpored","settings.automations.scheduleHours":"ure","settings.automations.scheduleLabel":"Izvedi vsakih","settings.automations.scheduleMode.daily":"Dnevno","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Vrsta urnika","settings.automations.scheduleSummary.daily":"Dnevno ob {time}","settings.automations.scheduleSummary.interval":"Vsakih {count} ur","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dnevu} two {# dneh} few {# dneh} other {# dneh}}","settings.automations.scheduleSummary.intervalDays":"{interval} na {days}","settings.automations.scheduleSummary.intervalHourly":"Urno","settings.automations.scheduleSummary.singleDay":"{day} ob {time}","settings.automations.scheduleSummary.weekdays":"Delovniki ob {time}","settings.automations.scheduleSummary.weekdaysLabel":"delovniki","settings.automations.scheduleSummary.weekends":"Konec tedna ob {time}","settings.automations.scheduleSummary.weekendsLabel":"konec tedna","settings.automations.scheduleSummary.weekly":"{days} ob {time}","settings.automations.scheduleWeekdays":"Vklopljeno","settings.automations.weekdayState.excluded":"Izključeno","settings.automations.weekdayState.included":"Vključeno","settings.conversationDetail.steps":"Koraki","settings.conversationDetail.steps.description":"Skrij ukaze in izpise","settings.conversationDetail.stepsWithCommands":"Koraki z ukazi kode","settings.conversationDetail.stepsWithCommands.description":"Prikaži ukaze, strni izpis","settings.conversationDetail.stepsWithOutput":"Koraki z izpisom kode","settings.conversationDetail.stepsWithOutput.description":"Prikaži ukaze in razširi izpis","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ni arhiviranih klepetov.","settings.dataControls.archivedChats.error":"Arhiviranih klepetov ni bilo mogoče naložiti.","settings.dataControls.archivedChats.loading":"Nalaganje arhiviranih klepetov …","settings.dataControls.archivedChats.unarchive":"Odstrani iz arhiva","settings.dataControls.archivedChats.unarchiveError":"Klepeta ni bilo mogoče vzeti iz arhiva","settings.dataControls.archivedChats.unarchiveSuccess":"Pogovor ni arhiviran. <viewNowLink>Oglejte si zdaj</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Nearhiviran pogovor.","settings.dataControls.archivedChats.untitled":"Klepet brez naslova","settings.dataControls.archivedChats.viewNow":"Prikaži zdaj","settings.editRow.headerPlaceholder":"Ključ","settings.editRow.removeEntry":"Odstrani vnos","settings.editRow.valuePlaceholder":"Vrednost","settings.general.appearance":"Videz","settings.general.appearance.codeFont":"Pisava kode","settings.general.appearance.codeFont.description":"Prilagodite pisavo in velikost, ki se uporablja za kodo v klepetih in razlikah","settings.general.appearance.codeFontFamily":"Družina pisave za kodo","settings.general.appearance.codeFontSize":"Velikost pisave kode","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Okna naj uporabljajo enobarvno ozadje namesto sistemske prosojnosti","settings.general.appearance.opaqueWindows.label":"Uporabi neprosojno ozadje okna","settings.general.appearance.sansFontFamily":"Družina pisave Sans","settings.general.appearance.sansFontFamily.description":"Prilagodite pisavo, ki se uporablja za uporabniški vmesnik Codexa","settings.general.appearance.sansFontSize":"Velikost pisave Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Prikaži vizualne učinke praznovanja v celozaslonskem načinu, medtem ko GPT-5.3-Codex-Spark izvaja prvi korak","settings.general.appearance.sparkCelebrationEffects.label":"Vizualni učinki praznovanja","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Temna","settings.general.appearance.theme.description":"Uporabite svetlo, temno ali skladno s sistemom","settings.general.appearance.theme.light":"Svetla","settings.general.appearance.theme.system":"Sistemska","settings.general.appearance.usePointerCursors.description":"Spremeni kurzor v kazalec, ko se miška premakne nad interaktivne elemente","settings.general.appearance.usePointerCursors.label":"Uporaba kazalcev","settings.general.enterBehavior.description":"Ko je omogočeno, večvrstični pozivi zahtevajo {modifierSymbol} + enter za pošiljanje.","settings.general.enterBehavior.label":"Zahteva {modifierSymbol} + enter, da pošljete dolge pozive","settings.general.experimentalFeatures":"Testne funkcije (beta)","settings.general.experimentalFeatures.empty":"Beta testne funkcije niso na voljo.","settings.general.experimentalFeatures.loading":"Nalaganje testnih funkcij …","settings.general.experimentalFeatures.restartNote":"Za uporabo sprememb testnih funkcij znova zaženite Codex","settings.general.experimentalFeatures.toggle":"Preklopi na {featureName}","settings.general.followUpQueueMode.description":"Dodajte nadaljnje korake v čakalno vrsto, medtem ko se Codex izvaja, ali vodite trenutno izvajanje. Pritisnite {invertFollowUpShortcutLabel}, če želite za eno sporočilo storiti nasprotno.","settings.general.followUpQueueMode.interrupt":"Vodenje","settings.general.followUpQueueMode.label":"Nadaljnje vedenje","settings.general.followUpQueueMode.queue":"Čakalna vrsta","settings.general.notifications":"Obvestila","settings.general.power.preventSleepWhileRunning.description":"Medtem ko Codex izvaja pogovor, naj bo računalnik v aktivnem stanju.","settings.general.power.preventSleepWhileRunning.label":"Preprečite spanje med izvajanjem","settings.git.branchPrefix.ariaLabel":"Predpona veje","settings.git.branchPrefix.description":"Predpona, ki se uporablja pri ustvarjanju novih vej v Codexu","settings.git.branchPrefix.label":"Predpona veje","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Predpone veje ni bilo mogoče shraniti","settings.git.branchPrefix.save.success":"Predpona veje je bila shranjena","settings.git.commitInstructions.ariaLabel":"Navodila za potrditev","settings.git.commitInstructions.description":"Dodano k pozivom za ustvarjanje sporočil ob potrditvi","settings.git.commitInstructions.label":"Navodila za potrditev","settings.git.commitInstructions.placeholder":"Dodaj navodila za sporočilo potrditve …","settings.git.commitInstructions.save":"Shrani","settings.git.commitInstructions.save.error":"Shranjevanje navodil za potrditev ni uspelo","settings.git.commitInstructions.save.success":"Shranjena navodila za potrditev","settings.git.forcePush.ariaLabel":"Vedno prisilno pošlji spremembe","settings.git.forcePush.description":"Pri pošiljanju sprememb iz Codexa uporabite --force-with-lease","settings.git.forcePush.label":"Vedno prisilno pošlji spremembe","settings.git.forcePush.save.disabled":"Vedno prisilno pošlji sprememb je onemogočeno","settings.git.forcePush.save.enabled":"Vedno prisilno pošlji spremembe je omogočeno","settings.git.forcePush.save.error":"Nastavitve prisilnega pošiljanja sprememb ni bilo mogoče shraniti","settings.git.prInstructions.ariaLabel":"Navodila za zahtevo za prevzem","settings.git.prInstructions.description":"Dodano telesom zahtevkov za vlečenje, ki jih je ustvaril Codex","settings.git.prInstructions.label":"Navodila za zahtevo za prevzem","settings.git.prInstructions.placeholder":"Dodajte navodila za zahtevo za prevzem …","settings.git.prInstructions.save":"Shrani","settings.git.prInstructions.save.error":"Navodil za zahtevo za prevzem ni bilo mogoče shraniti","settings.git.prInstructions.save.success":"Shranjena navodila za zahtevo za vlečenje","settings.ide.defaultOpenTarget.description":"Kje se datoteke in mape privzeto odprejo","settings.ide.defaultOpenTarget.label":"Privzeti cilj odpiranja","settings.ide.defaultOpenTarget.placeholder":"Ciljev ni bilo mogoče najti","settings.ide.language.auto":"Samodejno zaznaj","settings.ide.language.autoOption":"Samodejno zaznaj","settings.ide.language.description":"Jezik za uporabniški vmesnik aplikacije","settings.ide.language.label":"Jezik","settings.ide.language.search":"Iskanje jezikov","settings.layout.actionButton":"Znova zaženi razširitev","settings.layout.actionTitle":"Nastavitve z dejanjem","settings.layout.fullWidthTitle":"Nastavitve (polna širina)","settings.layout.title":"Nastavitve","settings.localEnvironments.actions.add":"Dodaj dejanje","settings.localEnvironments.actions.add.description":"Ustvarite nov ukaz, ki ga boste zagnali iz orodne vrstice.","settings.localEnvironments.actions.add.save":"Shrani","settings.localEnvironments.actions.empty":"Dodajte dejanje za izvajanje ukazov iz lokalne orodne vrstice.","settings.localEnvironments.actions.icon.debug":"Iskanje in odpravljanje napak","settings.localEnvironments.actions.icon.run":"Izvedi","settings.localEnvironments.actions.icon.test":"Preizkus","settings.localEnvironments.actions.icon.tool":"Orodje","settings.localEnvironments.actions.item.button.delete":"Izbriši","settings.localEnvironments.actions.item.command":"Skripta dejanja","settings.localEnvironments.actions.item.name":"Ime","settings.localEnvironments.actions.item.platforms":"Platforme","settings.localEnvironments.actions.item.platforms.help":"Deluje samo na določenem operacijskem sistemu.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Izbira platforme","settings.localEnvironments.actions.item.platforms.specific":"Specifično za platformo","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Izbriši","settings.localEnvironments.actions.title":"Dejanja","settings.localEnvironments.breadcrumb.back":"Nazaj","settings.localEnvironments.breadcrumb.edit":"uredi","settings.localEnvironments.breadcrumb.root":"Okolja","settings.localEnvironments.environment.actions.description":"Ta dejanja lahko izvedejo katerikoli ukaz in bodo prikazana v glavi.","settings.localEnvironments.environment.actionsLabel":"Dejanja","settings.localEnvironments.environment.create":"Ustvari lokalno okolje","settings.localEnvironments.environment.defaultName":"lokalno","settings.localEnvironments.environment.edit":"Uredi lokalno okolje","settings.localEnvironments.environment.empty":"Za ta projekt še ni konfigurirano nobeno lokalno okolje.","settings.localEnvironments.environment.name":"Ime","settings.localEnvironments.environment.setup":"Namestitvena skripta","settings.localEnvironments.environment.setup.description":"Ta skripta se bo zagnala, ko ustvarite delovno drevo.","settings.localEnvironments.environment.setup.hint":"Izvaja se v korenu projekta.","settings.localEnvironments.environment.setup.platformOverrides":"Preglasitve platforme","settings.localEnvironments.environment.setup.platformOverrides.add":"Dodaj namestitveno skripto {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Preglasi privzeto skripto za določene operacijske sisteme.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Odstrani","settings.localEnvironments.environment.setup.script":"Skripta","settings.localEnvironments.environment.title":"Podrobnosti o okolju","settings.localEnvironments.file.missing":"Shranite, da to datoteko ustvarite prvič.","settings.localEnvironments.file.parseError":"Obstoječe datoteke ni mogoče razčleniti. Če jo shranite, jo boste prepisali. ({error})","settings.localEnvironments.file.path":"Datoteka: {path}","settings.localEnvironments.file.readError":"Podatkov o lokalnem okolju ni bilo mogoče naložiti. ({error})","settings.localEnvironments.file.title":"Datoteka lokalnega okolja","settings.localEnvironments.loading.body":"Pridobivanje konfiguracije vašega projekta.","settings.localEnvironments.loading.title":"Nalaganje lokalnih okolij","settings.localEnvironments.preview.devOnly":"(samo za razvoj)","settings.localEnvironments.preview.save":"Shrani","settings.localEnvironments.preview.saveError":"Datoteke ni bilo mogoče shraniti. ({error})","settings.localEnvironments.preview.title":"Predogled","settings.localEnvironments.save.disabled.name":"Dodajte ime okolja za shranjevanje.","settings.localEnvironments.save.disabled.noChanges":"Ni sprememb za shranjevanje.","settings.localEnvironments.save.disabled.saving":"Shranjevanje …","settings.localEnvironments.save.success":"Lokalno okolje je bilo shranjeno","settings.localEnvironments.unavailable.body":"Za ta projekt ni bilo mogoče naložiti nastavitev lokalnega okolja.","settings.localEnvironments.unavailable.title":"Lokalna okolja niso na voljo","settings.localEnvironments.workspace.add":"Dodaj projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Dodaj okolje","settings.localEnvironments.workspaceSelect.description":"Lokalna okolja povedo Codexu, kako nastaviti delovna drevesa za projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ni še projektov. Dodajte enega za konfiguracijo lokalnih okolij.","settings.localEnvironments.workspaceSelect.errorLabel":"Okolje potrebuje pozornost","settings.localEnvironments.workspaceSelect.learnMore":"Izvedite več","settings.localEnvironments.workspaceSelect.listLabel":"Razpoložljivi projekti","settings.localEnvironments.workspaceSelect.loading":"Nalaganje projektov.","settings.localEnvironments.workspaceSelect.loadingLabel":"Okolje se nalaga","settings.localEnvironments.workspaceSelect.title":"Izberite projekt","settings.localEnvironments.workspaceSelect.viewAction":"Prikaži","settings.mcp.addServer":"Dodaj strežnik","settings.mcp.app.configure":"Konfiguracija","settings.mcp.app.connect":"Poveži","settings.mcp.apps.refresh":"Osveži","settings.mcp.detail.addArgument":"Dodaj argument","settings.mcp.detail.addEnvVar":"Dodaj spremenljivko okolja","settings.mcp.detail.addEnvVarPassthrough":"Dodaj spremenljivko","settings.mcp.detail.args":"Spremenljivke","settings.mcp.detail.back":"Nazaj","settings.mcp.detail.command":"Ukaz za zagon","settings.mcp.detail.cwd":"Delovni imenik","settings.mcp.detail.docs":"Odpri dokumentacijo MCP-ja","settings.mcp.detail.docs.link":"Dokumenti","settings.mcp.detail.envVarPassthrough":"Prevzem okoljskih spremenljivk","settings.mcp.detail.envVars":"Spremenljivke okolja","settings.mcp.detail.http.addEnvHeader":"Dodaj spremenljivko","settings.mcp.detail.http.addHeader":"Dodaj glavo","settings.mcp.detail.http.bearerToken":"Spremenljivka okolja z žetonom Bearer","settings.mcp.detail.http.envHeaders":"Glave iz okoljskih spremenljivk","settings.mcp.detail.http.headers":"Glave","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Ime","settings.mcp.detail.save":"Shrani","settings.mcp.detail.switchTransportNotice":"Če želite zamenjati vrsto MCP-strežnika, ga najprej odstranite.","settings.mcp.detail.titleExisting":"Posodobite MCP {name}","settings.mcp.detail.titleNew":"Povežite MCP po meri","settings.mcp.detail.transport.http":"Pretočni HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Odstrani","settings.mcp.empty":"Ni povezanih MCP-strežnikov po meri","settings.mcp.myServers":"Strežniki po meri","settings.mcp.partnerServer.description.figma":"Ustvarite boljšo kodo z vključitvijo celotnega konteksta Figme","settings.mcp.partnerServer.description.github":"Integrirajte API-je GitHuba za avtomatizacijo delovnih postopkov in pridobivanje podatkov","settings.mcp.partnerServer.description.linear":"Integrirajte Linear za sledenje težavam in upravljanje projektov","settings.mcp.partnerServer.description.notion":"Berite dokumente, posodabljajte strani, upravljajte naloge","settings.mcp.partnerServer.description.playwright":"Integrirajte avtomatizacijo brskalnika za implementacijo oblikovanja in testiranja uporabniškega vmesnika.","settings.mcp.partnerServer.install":"Namesti","settings.mcp.partnerServer.installAndAuthenticate":"Namesti in potrdi pristnost","settings.mcp.partnerServer.logoAlt":"Logotip {label}","settings.mcp.partnerServer.manage":"Upravljaj","settings.mcp.partnerServer.vendor":"avtorja {vendor}","settings.mcp.recommendedServers":"Priporočeni strežniki","settings.mcp.restartApp":"Znova zaženi","settings.mcp.restartExtension":"Znova zaženi razširitev","settings.mcp.server.enable":"Omogoči","settings.mcp.server.login":"Potrdi pristnost","settings.mcp.server.settings":"Nastavitve","settings.multiselect.createOption":"Ustvari »{value}«","settings.multiselect.removeOption":"Odstrani","settings.nav.account":"Račun","settings.nav.agent":"Konfiguracija","settings.nav.ariaLabel":"Nastavitve","settings.nav.back":"Nazaj v aplikacijo","settings.nav.data-controls":"Arhivirani pogovori","settings.nav.environments":"Okolja v oblaku","settings.nav.externalTooltip":"[alfa] Odpre se v brskalniku","settings.nav.general-settings":"Splošno","settings.nav.git-settings":"Git","settings.nav.local-environments":"Okolja","settings.nav.mcp-settings":"Strežniki MCP","settings.nav.notImplemented":"[alfa] Ni na voljo v alfi","settings.nav.personalization":"Prilagoditve","settings.nav.skills-settings":"Spretnosti","settings.nav.usage-analytics":"Uporaba in analitika","settings.nav.worktrees":"Delovna drevesa","settings.openSourceLicenses.back":"Nazaj","settings.openSourceLicenses.loading":"Nalaganje …","settings.openSourceLicenses.missing":"Obvestil tretjih oseb ni bilo mogoče najti.","settings.openSourceLicenses.notSupported":"Ni na voljo pri tem gostitelju.","settings.openSourceLicenses.rowDescription":"Obvestila tretjih oseb za povezane odvisnosti","settings.openSourceLicenses.rowLabel":"Odprtokodne licence","settings.openSourceLicenses.subtitle":"Obvestila tretjih oseb za odvisnosti, vključene v to aplikacijo","settings.openSourceLicenses.title":"Odprtokodne licence","settings.openSourceLicenses.view":"Prikaži","settings.personalization.agents.description":"Uredite navodila, ki Codex prilagodijo vam. {learnMore}","settings.personalization.agents.learnMore":"Izvedite več","settings.personalization.agents.loadError":"Datoteke agents.md ni bilo mogoče naložiti.","settings.personalization.agents.loading":"Nalaganje datoteke agents.md …","settings.personalization.agents.placeholder":"Dodajte svoja navodila po meri …","settings.personalization.agents.retry":"Poskusi znova","settings.personalization.agents.save":"Shrani","settings.personalization.agents.save.error":"Datoteke agents.md ni bilo mogoče shraniti.","settings.personalization.agents.save.success":"Datoteka agents.md je bila shranjena","settings.personalization.agents.title":"Navodila po meri","settings.personalization.personality.description":"Izberite privzeti ton za odgovore Codexa","settings.personalization.personality.label":"Osebnost","settings.sample.contentBody":"S to postavitvijo sestavite nastavitvene plošče z doslednim razmikom.","settings.sample.contentTitle":"Vzorec bloka vsebine","settings.section.account":"Račun","settings.section.agent":"Konfiguracija","settings.section.data-controls":"Arhivirani pogovori","settings.section.environments":"Okolja v oblaku","settings.section.external":"Odpre se v vašem brskalniku med fazo alfa","settings.section.general-settings":"Splošno","settings.section.git-settings":"Git","settings.section.local-environments":"Okolja","settings.section.mcp-settings":"Strežniki MCP","settings.section.mcp-settings.docs":"Dokumenti","settings.section.mcp-settings.subtitle":"Povežite zunanja orodja in vire podatkov.","settings.section.personalization":"Prilagoditve","settings.section.skills-settings":"Spretnosti","settings.section.unavailable":"Ni še na voljo v alfi","settings.section.usage-analytics":"Uporaba in analitika","settings.section.worktrees":"Delovna drevesa","settings.threadDetail.description":"Izberite, koliko izpisa ukaza želite prikazati v pogovorih","settings.threadDetail.label":"Podrobnosti pogovora","settings.worktrees.conversation.untitled":"Pogovor brez naslova","settings.worktrees.delete.error":"Delovnega drevesa ni bilo mogoče izbrisati","settings.worktrees.empty.body":"Delovna drevesa, ki jih je ustvaril Codex, bodo prikazana tukaj.","settings.worktrees.empty.title":"Ni še delovnih dreves","settings.worktrees.error.body":"Pri nalaganju delovnih dreves je prišlo do napake.","settings.worktrees.error.retry":"Poskusi znova","settings.worktrees.error.title":"Delovnih dreves ni bilo mogoče naložiti","settings.worktrees.loading.body":"Pridobivanje podrobnosti delovnega drevesa.","settings.worktrees.loading.title":"Nalaganje delovnih dreves","settings.worktrees.repository.loading":"Nalaganje metapodatkov shrambe …","settings.worktrees.repository.unknown":"Neznana shramba","settings.worktrees.row.conversations":"Pogovori","settings.worktrees.row.conversations.empty":"S tem delovnim drevesom ni povezanih pogovorov.","settings.worktrees.row.conversations.loading":"Nalaganje pogovorov …","settings.worktrees.row.delete":"Izbriši","settings.worktrees.row.title":"Delovno drevo","sidebarElectron.addWorkspaceRoot":"Dodaj nov projekt","sidebarElectron.archiveThread":"Arhiviraj pogovor","sidebarElectron.archiveThreadError":"Pogovora ni bilo mogoče arhivirati","sidebarElectron.collapseFolder":"Strni mapo","sidebarElectron.createStableWorktree.dialog.cancel":"Prekliči","sidebarElectron.createStableWorktree.dialog.create":"Ustvari","sidebarElectron.debugNavLink":"Iskanje in odpravljanje napak","sidebarElectron.editWorkspaceRootOptionName":"Uredi ime","sidebarElectron.expandFolder":"Razširi mapo","sidebarElectron.groupByMenu.recency":"Kronološki seznam","sidebarElectron.groupByMenu.title":"Organiziraj","sidebarElectron.groupByMenu.workspace":"Po projektu","sidebarElectron.inboxRouteNavLink":"Avtomatizacije","sidebarElectron.markThreadUnread":"Označi kot neprebrano","sidebarElectron.missingWorkspaceRoot":"Ta mapa projekta je bila izbrisana ali premaknjena","sidebarElectron.newThread":"Nov pogovor","sidebarElectron.newThreadInGroup":"Začni nov pogovor v {folder}","sidebarElectron.noRecentThreads":"Ni nedavnih pogovorov","sidebarElectron.noTasks":"Ni pogovorov","sidebarElectron.noTasks.start":"Dodaj nov projekt","sidebarElectron.noTasksWithFilter":"Noben pogovor se ne ujema s filtri","sidebarElectron.pinnedThreads":"Pripeti pogovori","sidebarElectron.recentNavLink":"Pogovori","sidebarElectron.recentThreads":"Nedavni pogovori","sidebarElectron.removeWorkspaceRootOption":"Odstrani","sidebarElectron.renameThread":"Preimenuj pogovor","sidebarElectron.renameThreadDialogAriaLabel":"Naslov pogovora","sidebarElectron.renameThreadDialogCancel":"Prekliči","sidebarElectron.renameThreadDialogPlaceholder":"Dodajte naslov …","sidebarElectron.renameThreadDialogSave":"Shrani","sidebarElectron.renameThreadDialogSubtitle":"Naj bo kratek in prepoznaven.","sidebarElectron.renameThreadDialogTitle":"Preimenuj pogovor","sidebarElectron.renameThreadError":"Pogovora ni bilo mogoče preimenovati","sidebarElectron.renameWorkspaceRootOptionLabel":"Ime za prikaz","sidebarElectron.showLess":"Prikaži manj","sidebarElectron.showMenu.all":"Vsi pogovori","sidebarElectron.showMenu.relevant":"Relevantno","sidebarElectron.showMenu.relevantHint":"Prikaže samo nedavne pogovore za trenutno vejo, delovna drevesa ali druge pogovore, ki potrebujejo vašo pozornost","sidebarElectron.showMenu.title":"Prikaži","sidebarElectron.showMenu.tooltip":"Filtriranje, razvrščanje in organiziranje pogovorov","sidebarElectron.showMenu.trigger":"Filtriraj pogovore v stranski vrstici","sidebarElectron.showMore":"Prikaži več","sidebarElectron.skillsRouteNavLink":"Spretnosti","sidebarElectron.sortMenu.created":"Ustvarjeno","sidebarElectron.sortMenu.title":"Razvrsti po","sidebarElectron.sortMenu.updated":"Posodobljeno","sidebarElectron.taskNavigation":"Mape za avtomatizacijo","sidebarElectron.tasksInFolder":"Avtomatizacije v {folder}","sidebarElectron.workspaceOptions":"Dejanja projekta za {folder}","sidebarElectron.worktreeGroupTooltip":"To je delovno drevo Gita","skills.appsPage.createSkill":"Nova spretnost","skills.appsPage.empty.skills":"Ni bilo najdenih spretnosti","skills.appsPage.search.skills":"Iščite spretnosti","skills.appsPage.search.skills.label":"Iščite spretnosti","skills.appsPage.section.installedApps":"Nameščeno","skills.appsPage.section.skills":"Spretnosti","skills.appsPage.subheading":"Dajte Codexu supermoč. <link>Izvedite več</link>","skills.appsPage.tab.recommended":"Priporočeno","skills.appsPage.tab.skills":"Spretnosti","skills.card.contentsError":"Vsebine spretnosti ni mogoče naložiti.","skills.card.disable":"Onemogoči","skills.card.disableSuccess":"spretnost {skillName} onemogočena","skills.card.disabledBadge":"Onemogočeno","skills.card.enable":"Omogoči","skills.card.enableSuccess":"spretnost {skillName} omogočena","skills.card.loadingContents":"Vsebina spretnosti se nalaga ...","skills.card.more":"Več dejanj","skills.card.open":"Odpri","skills.card.removeFailed":"Odstranitev spretnosti ni uspela","skills.card.removeSuccess":"spretnost {skillName} odstranjena","skills.card.toggleEnabledError":"Spretnosti ni bilo mogoče posodobiti","skills.card.try":"Poskusi","skills.card.trySkill":"Preizkusi spretnost","skills.card.uninstall":"Odstrani","skills.hero.dotLabel":"Pojdi na stran {index}","skills.hero.next":"Naslednja izpostavljena spretnost","skills.hero.trySkill":"Preizkusi spretnost","skills.page.createSkill":"Nova spretnost","skills.page.empty":"Ni bilo najdenih spretnosti","skills.page.filteredEmpty":"Nobena spretnost ne ustreza vašim filtrom","skills.page.filteredEmptyDescription":"Poskusite prilagoditi filtre iskanja ali obsega","skills.page.heading":"Spretnosti","skills.page.loading":"Nalaganje spretnosti …","skills.page.refreshSkills":"Osveži","skills.page.refreshSkillsToUseNew":"Osveži za uporabo novih spretnosti","skills.page.search":"Iščite spretnosti","skills.page.search.label":"Iščite spretnosti","skills.page.subheading":"Dajte Codexu supermoč. <link>Izvedite več</link>","skills.preview.copyPrompt":"Kopiraj poziv","skills.preview.examplePrompt":"Primer poziva","skills.recommended.error":"Priporočenih spretnosti ni bilo mogoče naložiti","skills.recommended.install":"Namesti","skills.recommended.installSkill":"Namesti spretnost","skills.recommended.installSuccess":"spretnost {skillName} nameščena","skills.recommended.installed":"Nameščeno","skills.scope.admin":"Skrbnik","skills.scope.adminInstalled":"Namestil skrbnik","skills.scope.builtIn":"Sistemska","skills.scope.personal":"Osebni","skills.scope.repo":"Shramba","skills.scope.system":"Sistemska","skills.scope.team":"Ekipa","skills.scope.user":"Uporabnik","skills.section.installed":"Nameščeno","skills.section.recommended":"Priporočeno","story.slidingToggle.existing":"Obstoječe","story.slidingToggle.fromLocal":"Iz lokalnega okolja","story.slidingToggle.new":"Novo","story.slidingToggle.toLocal":"V lokalno okolje","terminal.close":"Zapri terminal","terminal.title":"Terminal","thinkingShimmer.default":"Razmišljanje","threadEnvIcon.cloudTooltip":"Ta pogovor se izvaja v Codex Cloudu.","threadEnvIcon.localTooltip":"Ta pogovor se izvaja lokalno.","threadEnvIcon.worktreeTooltip":"Ta pogovor se izvaja v lokalnem delovnem drevesu Gita.","threadHeader.archiveConfirmCancel":"Prekliči","threadHeader.archiveConfirmConfirm":"Arhiviraj","threadHeader.archiveConfirmSubtitle":"Pozneje ga lahko najdete v arhiviranih pogovorih.","threadHeader.archiveConfirmTitle":"Želite arhivirati pogovor?","threadHeader.copyAppLink":"Kopiraj neposredno povezavo","threadHeader.copySessionId":"Kopiraj ID seje","threadHeader.copyWorkingDirectory":"Kopiraj delovni imenik","threadHeader.forkIntoLocal":"Osami v lokalno","threadHeader.forkIntoWorktree":"Osami v novo delovno drevo","threadHeader.forkPendingWorktreePrompt":"Osami ta pogovor v novo delovno drevo.","threadHeader.forkPendingWorktreeTitle":"Osamljeni pogovor","threadHeader.forkThreadError":"Pogovora ni bilo mogoče osamiti","threadHeader.forkThreadRequiresGitRepo":"Za osamitev v novo delovno drevo je potreben repozitorij na Gitu","threadHeader.moreActions":"Dejanja pogovora","threadPage.newThread":"Nov pogovor","threadPage.runAction.changeEnvironment":"Spremeni okolje","threadPage.runAction.dropdown.titleWithEnvironment":"Število dejanj: {environmentName}","threadPage.runAction.environmentSelector.label":"Izberi okolje","threadPage.runAction.label":"Izvedi","threadPage.runAction.missing.label":"Nastavi izvedbeno dejanje","threadPage.runAction.setup.commandLabel":"Ukaz za izvedbo","threadPage.runAction.setup.description":"Povejte Codexu, kako naj namesti odvisnosti in zažene vašo aplikacijo.","threadPage.runAction.setup.editMore":"Nastavitev okolja","threadPage.runAction.setup.placeholder":"npr.: npm install npm run","threadPage.runAction.setup.submit":"Shrani in izvedi","threadPage.runAction.setup.title":"Izvedi","threadPage.runAction.tooltip.withEnvironment":"Število dejanj: {environmentName}","threadPage.toggleDiffPanel":"Preklopi ploščo za primerjavo razlik","threadPage.toggleTerminal":"Preklopi terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Odpri mapo","toolSummaryForCmd.exploredFiles":"<verb>Navedene</verb> datoteke","toolSummaryForCmd.exploredFilesInPath":"<verb>Navedene</verb> datoteke v {path}","toolSummaryForCmd.exploringFiles":"<verb>Navajanje</verb> datotek","toolSummaryForCmd.exploringFilesInPath":"<verb>Navajanje</verb> datotek v {path}","toolSummaryForCmd.ranGenericCommand":"<status>Ukaz izveden</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Se je izvedlo</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Prebrano</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Izvajanje ukaza</status>{timer}","toolSummaryForCmd.runningTimer":"za {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Iskanje je bilo opravljeno</verb> za {query}","toolSummaryForCmd.searchedForFiles":"<verb>Iskanje je bilo opravljeno</verb> za datoteke","toolSummaryForCmd.searchedForInPath":"<verb>Iskanje je bilo opravljeno</verb> za {query} v {path}","toolSummaryForCmd.searchingFor":"<verb>Iskanje</verb> za {query}","toolSummaryForCmd.searchingForFiles":"<verb>Iskanje</verb> datotek","toolSummaryForCmd.searchingForInPath":"<verb>Iskanje</verb> za {query} v {path}","traceRecording.details.noteLabel":"Kaj ste počeli, ko se je to zgodilo? (izbirno)","traceRecording.details.notePlaceholder":"Pomaknil/-a sem se na veliki pogovor, nato pa večkrat preklopil/-a med zavihki …","traceRecording.details.submit":"Pošlji sled","traceRecording.details.subtitle":"To sled profila lahko pošljemo za pomoč pri diagnosticiranju težav z delovanjem.","traceRecording.details.title":"Pošlji sled profila?","traceRecording.progress.subtitle":"Medtem ko se to končuje, imejte Codex odprt.","traceRecording.saving.title":"Shranjevanje sledi …","traceRecording.startDetails.cancel":"Prekliči","traceRecording.startDetails.submit":"V redu, začni snemanje","traceRecording.startDetails.subtitle":"Ko kliknete »V redu«, ponovite težavo z zmogljivostjo, nato pa kliknite lebdeči rdeči indikator, da ustavite in pregledate sled.","traceRecording.startDetails.title":"Kako deluje beleženje sledi","traceRecording.stopButton.ariaLabel":"Ustavi snemanje sledi","traceRecording.upload.successToast":"Sled profila je bila poslana.","traceRecording.uploading.title":"Nalaganje sledi …","wham.diff.addComment":"Dodaj komentar","wham.diff.binaryFile":"Binarna datoteka ni prikazana","wham.diff.noContent":"Ni vsebine","wham.fileTag.deleted":"Izbrisano","wham.fileTag.new":"Novo","wham.formattedRelativeDateTime.compactDaysAgo":"{value} dni","wham.formattedRelativeDateTime.compactHoursAgo":"{value} h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"Pred {value} meseci","wham.formattedRelativeDateTime.compactWeeksAgo":"Pred {value} tedni","wham.formattedRelativeDateTime.compactYearsAgo":"Pred {value} leti","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"–{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Delam na vaši nalogi","wham.whamProposedTask.title":"Priporočena naloga","wham.whamProposedTask.useSuggestion":"Uporabi predlog","workspaceRootDialog.addError":"Projekta ni bilo mogoče dodati","workspaceRootDialog.cancel":"Prekliči","workspaceRootDialog.confirmAdd":"Dodaj projekt","workspaceRootDialog.confirmPick":"Uporabi projekt","workspaceRootDialog.description":"Vnesite pot v {host}, da jo uporabite kot projekt.","workspaceRootDialog.pathLabel":"Pot projekta","workspaceRootDialog.pathPlaceholder":"/domov/vi/projekt","workspaceRootDialog.title.add":"Dodaj pot projekta","workspaceRootDialog.title.pick":"Izberi pot projekta","worktreeInitV2.cancel":"Prekliči","worktreeInitV2.notification.failedTitle":"Nastavitev delovnega drevesa ni uspela","worktreeInitV2.output.empty":"Čakanje na rezultat …","worktreeInitV2.status.error":"Nastavitev delovnega drevesa ni uspela.","worktreeInitV2.status.running":"Ustvarjanje delovnega drevesa in izvedba nastavitev.","worktreeInitV2.status.runningFork":"Ustvarjanje delovnega drevesa za osamitev tega pogovora.","worktreeInitV2.status.success":"Delovno drevo je pripravljeno.","worktreeInitV2.title":"Ustvarjanje delovnega drevesa","worktreeInitV2.workLocallyInstead":"Delajte raje lokalno","worktreeRestoreBanner.body":"Delovno drevo tega pogovora je bilo odstranjeno, da bi se prihranil prostor na disku","worktreeRestoreBanner.missing.body":"Delovni imenik tega pogovora ne obstaja več","worktreeRestoreBanner.missing.title":"Trenutni delovni imenik manjka","worktreeRestoreBanner.restore.error":"Delovnega drevesa ni bilo mogoče obnoviti: {message}","worktreeRestoreBanner.restore.success":"Delovno drevo je bilo obnovljeno","worktreeRestoreBanner.restoreCta":"Obnovi delovno drevo","worktreeRestoreBanner.title":"Delovno drevo je očiščeno"};Object.assign(e,globalThis.codexI18nOverrides?.["sl-SI"]);export{e as default};
 //# sourceMappingURL=sl-SI-UvXm_SMB.js.map
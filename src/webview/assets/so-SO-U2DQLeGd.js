@@ -1,2 +1,2 @@
-const a={"CopyButton.copyTooltip":"Koobi-garee","app.sidebar.hide":"Qari liidka dhinaca","app.sidebar.show":"Muuji liidka dhnaca","app.sidebar.tooltip":"Isku-bedbedel agab-dhinaceedka","appHeader.installUpdate":"Cusbooneysii","appSunset.body":"Noocan abka ah in dheeraad ah lama taageero. Fadlan ka soo deji noocii u dambeeyay <here>halkan</here>.","appSunset.title":"Cusbooneysiinta waa loo baahan yahay","automation.updateDirective.create":"Abuur","automation.updateDirective.open":"Fur","automation.updateDirective.untitled":"Otomaatiga aan cinwaan lahayn","automation.updateDirective.update":"Cusbooneysii","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# isku dayga} other {# isku deyada}}","cloudTaskRow.archiveError":"Ay fashilantay in la kaydiyo hawsha","code.diff.requestChange":"Codso isbeddel","code.diffComment.cancel":"Kansal","code.diffComment.comment":"Ka faallood","code.diffComment.delete":"Tirtir","code.diffComment.save":"Kaydi","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Wax natiijooyin ah lagama warbixin.","codex.alert.closeAriaLabel":"Xidh","codex.appUpsellBanner.cbpApi.message":"Si dhaqso ah ugu dhis aabka Codex. Soo deji hadda ama {learnMoreLink}.","codex.appUpsellBanner.download":"Lasoo-dag","codex.appUpsellBanner.freeGo.message":"Codex waxaa lagu daray qorshagaaga ilaa Maarso 2 deeda. Isku day aabka Codex si degdeg loogu dhiso.","codex.appUpsellBanner.later":"Hadhow","codex.appUpsellBanner.learnMoreLowercase":"baro wax badan","codex.appUpsellBanner.new":"Cusub","codex.appUpsellBanner.proPlusBusiness.message":"Isku day aabka Codex oo wata 2x heerka xadadka ilaa Abriil 2deed. Soo deji hadda ama {learnMoreLink}.","codex.appUpsellBanner.title":"Aabka Codex","codex.applyDropdown.header.changes":"Isbeddelada","codex.applyDropdown.header.fileCount":"{count, plural, one {# fayl} other {# faylasha}}","codex.applyDropdown.header.rows":"safaf","codex.applyDropdown.header.title":"Adeegso isbeddelada","codex.applyDropdown.header.workspace":"Mashruuca","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fayl is khilaafsan:} other {{count} faylasha is khilaafsan:}}","codex.applyDropdown.results.empty":"Ma jiraan faylal la koobiyeeyay","codex.applyDropdown.results.skipped":"{count, plural, one {1 fayl ka boodayy:} other {{count} faylasha laga booday:}}","codex.applyOrRevertBanner.apply":"Codso","codex.applyOrRevertBanner.applyMessage":"Adeefso isbeddelada oo sii wad maxali ahaan?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Hawshan waxaa lagu sameeyay {environment} markaas looma adeegsado si nadiif ah.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Isbeddelada lagu sameeyay {environment} markaas looma adeegsan karo si nadiif ah.","codex.applyOrRevertBanner.reapply":"Dib u adeegso","codex.applyOrRevertBanner.revert":"Ku noqo...","codex.applyOrRevertBanner.revertMessage":"Ka noqo isbeddelada la adeegsaday?","codex.applyResultsDialog.applied":"Loo adeegsaday si nafiid ah({count})","codex.applyResultsDialog.close":"Xidh","codex.applyResultsDialog.conflicted":"Is khilaafsan ({count})","codex.applyResultsDialog.noDetails":"Lama heli karo faahfaahinta faylka.","codex.applyResultsDialog.skipped":"Ka booday ({count})","codex.applyResultsDialog.title":"Adeegso natiijooyinka","codex.archiveInfo":"Arag wada sheekeysiga la kaydiyey gudaha {dataControlsLink}","codex.archiveInfo.dataControlsLink":"Xakameynada Xog","codex.archiveInfo.electron":"Arag wada sheekeysiga la kaydiyey ee {settingsLink}","codex.archiveInfo.extension":"Arag wada sheekaysiyada lagu kaydiyay faylkaaga codex.","codex.archiveInfo.settingsLink":"Habeynta","codex.banner.content.description":"U wad hawlaha si siman, raad raac horumarka meel kasta, oo ku qiimee PRs AI.","codex.banner.content.headline":"Codex dhammaan way samaysaa.","codex.cloudTaskRow.archiveTask":"Kaydi hawsha","codex.cloudTaskRow.confirmArchiveTask":"Xaqiiji","codex.command.feedback":"Faallo celin","codex.command.findInThread":"Hel","codex.command.forceReloadSkills":"Xirfadaha dib u soo saarida xooga ah","codex.command.logOut":"Ka bax","codex.command.manageTasks":"Maaree hawlaha","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Laabo","codex.command.navigateForward":"Hore","codex.command.newThread":"Qaybta cusub","codex.command.nextThread":"Qaybta xigta","codex.command.openFolder":"Fur faylka","codex.command.openSkills":"Booqo xirfadaha","codex.command.openThreadOverlay":"Qaybta macluumaadka soo booda","codex.command.personalitySettings":"Shakhsiyada","codex.command.previousThread":"Qaybtii hore","codex.command.settings":"Habeynta","codex.command.toggleDiffPanel":"U beddel qayb ka duwan","codex.command.toggleSidebar":"Isku-bedbedel agab-dhinaceedka","codex.command.toggleTerminal":"Beddel bixida","codex.commandGroup.app":"Abka","codex.commandGroup.configure":"Habee","codex.commandGroup.navigation":"Dhex gooshida","codex.commandGroup.panels":"Qaybaha","codex.commandGroup.skills":"Xirfadaha","codex.commandGroup.thread":"Liidka","codex.commandGroup.workspace":"Mashruuca","codex.commandMenu.noResults":"Ma jiro wax u dhigma","codex.commandMenu.searchPlaceholder":"Raadi amarada","codex.commandMenu.suggestedGroup":"La soo jeediyay","codex.commandMenu.switchWorkspace":"Taxanaha mashruuca","codex.commandMenu.title":"Liiska amarka","codex.common.retry":"Dib isugu day","codex.composer.searchBranches":"Raadi faracyada","codex.dialog.basic.body":"Kani waa liiska moodeelka fudud oo isticmaalaya isku duubahayaga Radis Dialog.","codex.dialog.basic.cancel":"Kansal","codex.dialog.basic.confirm":"Xaqiiji","codex.dialog.basic.open":"Xidh qaybta Yar ee Soo baxda","codex.dialog.basic.title":"Muunada Qaybta yar ee soo Baxda","codex.dialog.long.close":"Xidh","codex.dialog.long.line":"Laynka la wareejin karo {index} si loo soo bandhigo macluumaadka dheer gudaha qaybta yar ee soo baxda.","codex.dialog.long.open":"Fur Qaybta yar ee Soo baxda ee Yar","codex.dialog.long.title":"Macluumaadka Qaybta yar ee Soo baxda","codex.dialog.unstyled.body":"Sheekaydan waxay sheegaysaa sida wacayaasha ay si buuxda ugu maamuli karaan qaabka qoraalku u soo baxo.","codex.dialog.unstyled.open":"Fur Liiska qoraalka Aan Qaabaysnayn","codex.dialog.unstyled.title":"Macluumaadka Aan qaabaysnayn","codex.diff.openInEditorPrompt.openButton":"Ku fur tifatiraha","codex.diff.openInEditorPrompt.singleLine":"Faylakan aad ayuu u wayn yahay in lagu soo bandhigo halkan.","codex.diffView.failedToDecodeBase64Diff":"Ku guul daraystay furfurida koodhka base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {# faylka ayaa la beddelay} other {# faylashu way isbeddeleen}}","codex.diffView.imagePreviewAlt":"Sawirka muuqaalka kooban","codex.diffView.imagePreviewEmpty":"Sawir ma jiro","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Ma jirto kala duwanaanshaha xogta","codex.diffView.pdfPreview.nextPage":"Bogga xiga","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Boggii hore","codex.diffView.pdfPreviewEmpty":"Ma jiro muuqaalka PDF","codex.diffView.pdfPreviewError":"Aan awoodin soo bandhiga muuqaalka kooban","codex.diffView.richPreviewDisable":"Xidh sifooyinka otomaatiga ah ee abka","codex.diffView.richPreviewEnable":"Fur sifooyinka otomaatiga ah ee abka","codex.diffView.richPreviewLoading":"Soo saaraya muuqaal kooban…","codex.diffView.richPreviewToggle":"Beddel sifooyinka otomaatiga ah ee abka","codex.diffView.switchToUnified":"U beddel faraqa midaysan","codex.environmentSelector.noEnvironment":"Deegaan ma jiro","codex.environments.environmentSettings":"Setinka deegaanka","codex.environments.learnMore":"Wax badan ka baro","codex.environments.listError":"Ku guul daraystay soo saarida deegaanada.","codex.environments.noEnvironmentsFound":"Ma jiraan deegaano la helay","codex.environments.searchError":"Ku guul daraystay raadinta deegaanada.","codex.errorBoundary.genericError":"Ooh, cillad ayaa dhacday","codex.errorBoundary.goHome":"Iskuday markale","codex.file.patch.missing":"Aan awoodin inuu dhiso qaybta faylkan.","codex.gallery.automations.cwdLabel":"Mashruucyada","codex.gallery.automations.nameLabel":"Magac","codex.gallery.automations.namePlaceholder":"Soo koob hawsha","codex.gallery.automations.promptLabel":"Dhakhso ah","codex.gallery.automations.promptPlaceholder":"Faahfaahi waxa Codex ay qaban lahayd","codex.gallery.dialogs.automation.label":"Dhaayalooga otomaatiga ah","codex.gallery.dialogs.basic.body":"U isticmaal nashqada xaqiijinta tooska ah ama qaababka gaaban.","codex.gallery.dialogs.basic.cancel":"Kansal","codex.gallery.dialogs.basic.confirm":"Xaqiiji","codex.gallery.dialogs.basic.label":"Qaybta yar ee soo socda ee aasaasiga ah","codex.gallery.dialogs.basic.title":"Muunada qaybta yar ee soo baxda","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Faahfaahi dhibta","codex.gallery.dialogs.feedbackSubmission.bad":"Natiijo xun","codex.gallery.dialogs.feedbackSubmission.bug":"Cilad","codex.gallery.dialogs.feedbackSubmission.good":"Natiijo wanaagsan","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Ku dar diiwaanada kulladan hadda Codex","codex.gallery.dialogs.feedbackSubmission.label":"Gudbinta faallo celinta","codex.gallery.dialogs.feedbackSubmission.other":"Kale","codex.gallery.dialogs.feedbackSubmission.placeholder":"Ku faahfaahi arrinka halkan","codex.gallery.dialogs.feedbackSubmission.submit":"Gudbi","codex.gallery.dialogs.feedbackSubmission.title":"Faallo celin","codex.gallery.dialogs.feedbackSuccess.body":"Faallo celinta la soo geliyay. Haddii dhibaatadu sii jirto, fadlan Fur arrinta GitHub ama sheeg aqoonsiga liidka arrinta furan ee jirta:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Iska dhaaf","codex.gallery.dialogs.feedbackSuccess.label":"Guusha faallo celinta","codex.gallery.dialogs.feedbackSuccess.title":"Faallo celinta waa la soo geliyay","codex.gallery.dialogs.gitApplyResults.applied":"Loo adeegsaday si nafiid ah (2)","codex.gallery.dialogs.gitApplyResults.close":"Xidh","codex.gallery.dialogs.gitApplyResults.conflicted":"Is khilaafsan (1)","codex.gallery.dialogs.gitApplyResults.label":"Adeegso natiijooyinka","codex.gallery.dialogs.gitApplyResults.title":"Adeegso natiijooyinka","codex.gallery.dialogs.gitPushError.body":"Soo deji isbeddelada u dambeeyay ama soo g haddielii aad garanayso taariikhda fog inay badbaado tahay in la beddelo.","codex.gallery.dialogs.gitPushError.cancel":"Kansal","codex.gallery.dialogs.gitPushError.force":"Riixid xoog ah","codex.gallery.dialogs.gitPushError.label":"Dirida cilada","codex.gallery.dialogs.gitPushError.subtitle":"Faracaaga waa uu ka dambeeya ka asalka ah/ka muhiimka ah.","codex.gallery.dialogs.gitPushError.title":"Ku fashilmay dirida isbeddelada","codex.gallery.dialogs.gitRevert.cancel":"Kansal","codex.gallery.dialogs.gitRevert.confirm":"Ku noqo...","codex.gallery.dialogs.gitRevert.label":"Ka noqo isbeddelada","codex.gallery.dialogs.gitRevert.skip":"Markale ha weydiin","codex.gallery.dialogs.gitRevert.subtitle":"Falkan waxa uu ka saaraa dhammaan isbeddelada.","codex.gallery.dialogs.gitRevert.title":"Ka noqo isbeddelada?","codex.gallery.dialogs.longForm.label":"Dhaayalooga foomka dheer","codex.gallery.dialogs.proseModal.body":"Qaabkan moodeelkan waxaa loo isticmalaa tilmaamo dheer, tababarid, ama lakabyada macluumaadka qaniga ah.","codex.gallery.dialogs.proseModal.close":"Xidh","codex.gallery.dialogs.proseModal.subtitle":"Wadaag hagitaanka foomka dheer ama caddaynta halkan.","codex.gallery.dialogs.proseModal.title":"Liiska qoraalka soo baxa","codex.gallery.dialogs.submitBlocked.label":"Gudbinta waa la xanibay","codex.gallery.dialogs.submitBlocked.message":"Fariintaada waa la diri kari waayay sababtoo ah mashruuca lama heli karo.","codex.gallery.dialogs.submitBlocked.ok":"Waayahay","codex.gallery.dialogs.submitBlocked.title":"Aan awoodin dirida fariinta","codex.gallery.dialogs.title":"Dhaayaloogyada","codex.gallery.dropdown.filterPlaceholder":"Filtarka sheeyada","codex.gallery.dropdowns.actionRow":"Safafka falka","codex.gallery.dropdowns.actionRow.disabled":"Falka la xanibay","codex.gallery.dropdowns.actionRow.primary":"Falka koowaad","codex.gallery.dropdowns.actionRow.secondary":"Qaybta labbaad","codex.gallery.dropdowns.actionRow.trigger":"Tus falalka","codex.gallery.dropdowns.basic":"Liiska aasaasiga ah ee hoos u dega","codex.gallery.dropdowns.basic.newFile":"Faylka cusub","codex.gallery.dropdowns.basic.newFolder":"Fayl cusub","codex.gallery.dropdowns.basic.openSettings":"Fur setinka","codex.gallery.dropdowns.basic.title":"Falalka degdega ah","codex.gallery.dropdowns.basic.trigger":"Fur liiska","codex.gallery.dropdowns.basic.upload":"Soo rar","codex.gallery.dropdowns.panel":"Oogada shaashada","codex.gallery.dropdowns.panel.apply":"Codso","codex.gallery.dropdowns.panel.body":"Dib u eeg kala duwanaanshaha oo adeegso mashruuca.","codex.gallery.dropdowns.panel.preview":"Hore-u-eeg","codex.gallery.dropdowns.panel.title":"Adeegso isbeddelada","codex.gallery.dropdowns.panel.trigger":"Fur shaashada","codex.gallery.dropdowns.search":"Liiska hoos u dega ee la raadin karo","codex.gallery.dropdowns.search.first":"Kanaalka Alpha","codex.gallery.dropdowns.search.second":"Faraca Beta","codex.gallery.dropdowns.search.third":"Noocii u dambeeyay","codex.gallery.dropdowns.search.trigger":"Filtarka sheeyada","codex.gallery.dropdowns.submenu":"Liiska hoos u dega ee wata liis hoosaadka","codex.gallery.dropdowns.submenu.optionA":"Mashruuca alpha","codex.gallery.dropdowns.submenu.optionB":"Mashruuca beta","codex.gallery.dropdowns.submenu.optionC":" Mashruuca gamma","codex.gallery.dropdowns.submenu.primary":"Magacow mulkiilaha","codex.gallery.dropdowns.submenu.secondary":"U dhaqaaq","codex.gallery.dropdowns.submenu.tertiary":"Kayd","codex.gallery.dropdowns.submenu.trigger":"Dooro falka","codex.gallery.dropdowns.title":"Liiska hoos u soo dega","codex.gallery.inbox.automations.close":"Xidh","codex.gallery.inbox.automations.popover.cardTitle":"Maaree otomaatiga","codex.gallery.inbox.automations.popover.dialogTitle":"Maaree otomaatiga","codex.header.settingsTooltip":"Habeynta","codex.hunk.patch.error":"Ku fashilmay diyaarinta","codex.hunk.patch.missing":"Aan awoodin dhisida qaybta hunk gan.","codex.hunk.patch.partialSuccess":"Guusha qaybta ah.","codex.hunk.patch.revertError":"Ku guul daraystay ka saarida","codex.hunk.patch.revertSuccess":"U hawl geliyay si guul leh","codex.hunk.patch.success":"U diyaariyay si guul leh","codex.legal.autonomy.details":"Faahfaahin badan, arag {link}","codex.legal.autonomy.details.link":"Dhokumentiyada Codex","codex.legal.autonomy.title":"Go’aami sida inta ay leeg tahay madax banaanida aad doonayso inaad bixiso","codex.legal.backButton":"Laabo","codex.legal.cloud.taskOne.meta":"openai/agi · Oktoobar 12","codex.legal.cloud.taskOne.title":"Sharax kaydka nashqadeeyaha cusub","codex.legal.cloud.taskThree.meta":"openai/codex · Oktoobar 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Samee mowduuca qaabka madow","codex.legal.cloud.taskTwo.meta":"openai/agi · Oktoobar 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Hagaaji cilada isticmaalaha","codex.legal.continue.apikey":"Sii wad","codex.legal.continueButton":"Xigta","codex.legal.copilot.details":"Isticmaala qorshahaaga Copilot ee dhammaan wicitanada moodeelka, biil bixinta, iyo heerka xadadka. Kordhinta Codex isticmaalku waxa uu hoos imanayaa labbadaba {oaiTos}iyo{gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Shuruudaha Adeega GitHub","codex.legal.copilot.oaiTosLink":"Shuruudaha adeega OpenAI Codex","codex.legal.copilot.title":"Uu awooda siiyay GitHub Caopilot","codex.legal.mistakes.review":"Qiimee koodhka ay qorto iyo amarada ay wado","codex.legal.mistakes.title":"Codex khaladaadka ayuu sameyn karaa.","codex.legal.powered.details":"Isticmaala qorshahaaga heerka xadadka iyo {link}","codex.legal.powered.details.link":"dookhyada xogta tababarka","codex.legal.powered.title":"Uu awood siiyay kootadaada ChatGPT","codex.legal.step.cloud.subtitle":"U dir hawlaha Codex si looga wado gudaha muuqaalka dambe markaas waxaad xooga saaraysaa oo u dhaqaaqdaa si degdeg ah.","codex.legal.step.cloud.title":"U wareeji Codex guaha cloud","codex.legal.step.intro.subtitle":"Codex way gooshtaa, wax beddeshaa, wadaa amarada, oo fulisaa tijaabooyinka si toos ah gudaha kaydkaaga. Ay awooda siisay kootadaada ChatGPT.","codex.legal.step.intro.title":"Codex gudaha IDE gaaga","codex.legal.step.todo.subtitle":"Qor faalada TODO oo u beddel hawl Codex ah oo wadata riixid keliya.","codex.legal.step.todo.title":"U rog TODOs ilaa hawlaha Codex","codex.legal.todo.heading":"// TODO:hirgeli qaabka rasmiga ah","codex.localConversation.closeImagePreview":"Xidh sawirka muuqaalka kooban","codex.localConversation.userImageAttachment":"Lifaaqa isticmaalaha","codex.localTaskRow.archiveTask":"Si qarsoon u kaydi","codex.localTaskRow.awaitingApproval":"Sugaya oggolaanshaha","codex.localTaskRow.awaitingResponse":"Sugaya jawaabta","codex.localTaskRow.confirmArchiveTask":"Xaqiiji","codex.loggedOut.apiKeyPrompt.cancel":"Kansal","codex.loggedOut.apiKeyPrompt.confirm":"Waayahay","codex.loggedOut.apiKeyPrompt.getKey":"Hel Furaha API","codex.loggedOut.apiKeyPrompt.inputLabel":"Geli furahaaga OpenAI API","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Hawlaha cloud lagu xidhay furaha API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Hawlaha cloud ee lagu xidhay Copilot iyo Furaha API","codex.loggedOut.signIn":"Ku soo gal ChatGPT","codex.loggedOut.signIn.cancel":"Tirtir Soo gelida","codex.loggedOut.signInWithCopilot":"Ku soo gal GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Isticmaal Furaha API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} aalada","codex.mcpTool.collapsedLabel.verb.called":"Wacay","codex.mcpTool.collapsedLabel.verb.calling":"Wacaya","codex.mcpTool.embeddedResource.contentLabel":"Nuxur","codex.mcpTool.embeddedResource.mimeTypeLabel":"Nooca MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Aalada waxaa loo celiyay macluumaadka","codex.mcpTool.rawPayloadHeading":"Aalada {server}{tool} qayaxan ee MCP wicita fariimaha xogta","codex.menu.recent":"Dhawaa","codex.menu.seeAllHistory":"Arag dhammaan taariikhda","codex.modelCapacityBanner.headline.noReset":"{modelName} hadda wuu buuxaa. isku dar amar labbaad ka dib, ama ka bilow wada sheekaysi cusub moodeel kale.","codex.modelCapacityBanner.headline.withReset":"{modelName} wuu buuxaa hadda. Isku day mar labbaad ka dib {resetDate}, ama ka bilow wada sheekaysi cusub moodeel kale.","codex.modelCapacityBanner.title":"Moodeelka la xushay wuu buuxaa","codex.patch.change.contentsDeleted":"Macluumaadka la tirtiray","codex.patch.change.created":"La-abuurey","codex.patch.change.created-file":"Sameeyay faylka","codex.patch.change.creating":"Abuuraya","codex.patch.change.deleted":"La tirtiray","codex.patch.change.deleted-file":"Tirtir faylka","codex.patch.change.deleting":"Tirtiraya","codex.patch.change.edited":"Wax laga beddelay","codex.patch.change.edited-file":"Faylka wax laga beddelay","codex.patch.change.editing":"Wax ka beddelka","codex.patch.change.noChanges":"Ma jiraan isbeddelo","codex.patch.change.rejected-add":"La diiday","codex.patch.change.rejected-delete":"La diiday","codex.patch.change.rejected-edit":"La diiday","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} ka baxsan {total} hawlaha la dhammaystiray","codex.plan.todoListCreated":"Liiska lagu sameeyay {total} hawlaha","codex.profileDropdown.apiKeyAuth":"Lagu soo galo furaha API","codex.profileDropdown.codexSettings":"Setinka Codex","codex.profileDropdown.copilotAuth":"Lagu soo galay Copilot","codex.profileDropdown.defaultAccountTitle":"Kootada asalka ah","codex.profileDropdown.enterBehavior":"{modifierSymbol} +geli si loo diro tilmaamaha dheer","codex.profileDropdown.enterBehaviorError":"Ku guul daraystay in la cusbooneysiiyo setinka","codex.profileDropdown.getPlus":"Ku cusboonaysii wixii ah xadadka sare","codex.profileDropdown.keyboardShortcuts":"Wadooyinka-gaagaaban ee kiiboorka","codex.profileDropdown.language":"Luuqada","codex.profileDropdown.languageDefault":"Dareemid-otomaatik ah","codex.profileDropdown.languageSearchPlaceholder":"Raadi luqaddaha","codex.profileDropdown.languageUpdateError":"Ku guul daraystay cusbooneysiinta luqadda","codex.profileDropdown.logOut":"Ka bax","codex.profileDropdown.mcp":"Setinka MCP","codex.profileDropdown.openConfigToml":"Fur ku xidhida toml","codex.profileDropdown.openConfigToml.wsl":"Fur ku xidhida toml gudaha deegaanka WSL","codex.profileDropdown.openExtensionSettings":"Fur setinka","codex.profileDropdown.openMcpSettings":"Fur setinka MCP","codex.profileDropdown.openOnStartup":"Ka fur bilaabida","codex.profileDropdown.openOnStartupError":"Ku guul daraystay in la cusbooneysiiyo setinka","codex.profileDropdown.openSkillsSettings":"Fur setinka Xirfadaha","codex.profileDropdown.personalAccountTitle":"Koonto shakhsiyeed","codex.profileDropdown.queueFollowUps":"Saf u gal la socodka","codex.profileDropdown.queueFollowUpsError":"Ku guul daraystay in la cusbooneysiiyo setinka","codex.profileDropdown.readDocs":"Akhri dhokumentiyada","codex.profileDropdown.readSkillsDocs":"Akhri dhokumentiyada","codex.profileDropdown.runInWsl":"Ka wad gudaha WSL","codex.profileDropdown.runInWslError":"Ku guul daraystay in la cusbooneysiiyo setinka","codex.profileDropdown.runInWslTooltip":"Wada Codex gudaha WSL. Lagu taliyay qaybta amniga horumarsan iyo wax qabad ka wanaagsan.","codex.profileDropdown.settings":"Setinka IDE","codex.profileDropdown.settingsPage":"Habeynta","codex.profileDropdown.signInWithOpenAI":"Ku soo gal ChatGPT","codex.profileDropdown.skills":"Setinka xirfadaha","codex.profileDropdown.switchToCopilotAccount":"Isticmaal kootada Copilot","codex.profileDropdown.switchToOpenAIAccount":"Isticmaal kootada OpenAI","codex.profileDropdown.todoCodelens":"Hagaaji faallooyinka TODO","codex.profileDropdown.todoCodelensError":"Ku guul daraystay in la cusbooneysiiyo setinka","codex.profileDropdown.windowsDocumentation":"Caddaymaha Windows","codex.profileFooter.signedInFallback":"Habeynada","codex.profileFooter.upgrade":"Casriyeey","codex.recentTasksMenu.clearSearch":"Masax raadinta","codex.recentTasksMenu.cloud":"Hawlaha cloud","codex.recentTasksMenu.count":"{count, plural, =0 {Ma jiro hawlo socda} one {# hawsha socota} other {# hawlaha socda}}","codex.recentTasksMenu.empty":"Wada sheekaysiyo ma jiraan weli","codex.recentTasksMenu.errorCloud":"Ku guul daraystay soo saarida hawlaha.","codex.recentTasksMenu.errorCloud.inline":"Ku guul daraystay","codex.recentTasksMenu.filterAll":"Dhammaan","codex.recentTasksMenu.filterCloudTasks":"Kala shaandhee hawlaha cloud","codex.recentTasksMenu.filterTooltip":"Ku kala shaandhee hawlaha deegaan ahaan","codex.recentTasksMenu.local":"Hawlaha macaliga ah","codex.recentTasksMenu.recent":"Dhammaan hawlaha","codex.recentTasksMenu.search":"Raadi hawlahii u dambeeyay","codex.recentTasksMenu.searchEmpty":"Majiraan natiijooyin","codex.recentTasksMenu.tooltip":"Taariikhda hawsha","codex.recentTasksMenu.trigger":"Hawlaha hadda. {count, plural, one {# socda} other {# socda}}","codex.remoteConversation.applyDiff.applyCta":"Adeegso isbeddelada","codex.remoteConversation.applyDiff.dropdownTitle":"Adeegso isbeddelada faraca maxaliga ah","codex.remoteConversation.applyDiff.revertCta":"Ka noqo isbeddelada","codex.remoteConversation.closeImagePreview":"Xidh sawirka muuqaalka kooban","codex.remoteConversation.codexCloudTask":"Waxaad arkaysaa hawsha<u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Cillad: {message}","codex.remoteConversation.loadingImage":"Soo saaraya sawirka","codex.remoteConversation.openInWeb":"Ka fur shabakada","codex.remoteConversation.streaming":"Bilaabida","codex.remoteConversation.turnFailed":"Khaladka ka dhaca gudaha hawshan","codex.remoteConversation.turnTab.loading":"Isku day {number}","codex.remoteConversation.turnTab.title":"Isku day {number}","codex.remoteConversation.userImageAttachment":"Lifaaqa isticmaalaha","codex.remoteConversation.viewPreviousTurns":"Ka fur shabakada","codex.remoteConversation.viewPreviousTurns.buttonText":"Fur","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Ka fur shabakada","codex.review.copyGitApplyCommand":"Koobiy amarka adeegsida git","codex.review.copyGitApplyCommand.toast":"Git la soo koobiyeeyay adeegsto amar ilaa faylka","codex.review.diffTooLarge.description":"Kala duwanaanshahan aad ayuu u wayn yahay in lagu soo bandhigo Dib u eegida.","codex.review.diffTooLarge.title":"Kala duwanaanshahu aad ayuu u wayn yahay in lagu soo bandhigo","codex.review.expandOrCollapseDiffButton.collapse":"Tuur dhammaan kala duwanaanshaha","codex.review.expandOrCollapseDiffButton.expand":"Ballaadhi dhammaan kala duwanaanshaha","codex.review.expandOrCollapseDiffMenu.collapse":"Tuur dhammaan kala duwanaanshaha","codex.review.expandOrCollapseDiffMenu.expand":"Ballaadhi dhammaan kala duwanaanshaha","codex.review.fileSearch.clear":"Masax filtarka faylka","codex.review.fileSearch.empty":"Ma jiraan faylal ku habboon shaandhada hadda.","codex.review.fileSearch.label":"Shaandhee faylashada","codex.review.fileSearch.placeholder":"Shaandhee faylashada...","codex.review.filesChanged":"{num, plural, =0 {Wax fayl ah lama beddelin} one {# faylka ayaa la beddelay} other {# faylashu way isbeddeleen}}","codex.review.find.loadMore":"Soo geli waxyaaba badan oo ku habboon","codex.review.fullReview.hideFileTree":"Qari geedka faylka","codex.review.fullReview.showFileTree":"Tus geedka faylka","codex.review.header.moreOptions":"Dib u eeg doorashooyinka","codex.review.largeDiff.banner":"Faraq wayn ayaa la ogaaday — tusinaya hal fayl wakhtigiiba.","codex.review.loadFullFiles.disable":"Ha soo gelin faylasha buuxda","codex.review.loadFullFiles.enable":"Soo geli faylasha buuxda","codex.review.noDiff":"Isbeddelada faylka ayaa halkan ka muuqan doona","codex.review.noDiff.gitInit.createRepository":"Samee kaydka git","codex.review.noDiff.gitInit.creating":"Samaynaya…","codex.review.noDiff.gitInit.error":"Git init way fashilantay: {message}","codex.review.noDiff.gitInit.success":"Kaydka git ee la sameeyay","codex.review.noDiff.gitRepoRequired.description":"Raad raac oo ka noqo isbadelada mashruuca","codex.review.noDiff.gitRepoRequired.title":"Samee kaydka Git","codex.review.noDiff.orNoLongerAvailable":"ama kala duwanaanshaha u dambeeyay in dheeraad ah lama heli karo","codex.review.noDiff.reverted":"Markii u dambaysay waa laga noqday","codex.review.noDiff.revertedOrCommitted":"Markii u dambaysay miduun waa laga noqday ama waa la diray","codex.review.refreshGitQueries":"Dib-u-kici galida","codex.review.revert.file.error":"Ku fashilmay inuu ka noqdo {path}","codex.review.revert.file.partialSuccess":"Qayb ahaan laga noqday {path}","codex.review.revert.file.success":"Laga oqday {path}","codex.review.revert.hunk.error":"Ku guul daraystay celinta hunk {hunkNumber}gudaha{path}.","codex.review.revert.hunk.partialSuccess":"Qayb ahaan ka noqday hunk {hunkNumber} gudaha{path}","codex.review.revert.hunk.success":"Ka noqday hunk {hunkNumber} gudaha {path}","codex.review.revert.section.error":"Ku fashilma ka noqoshada qaybta","codex.review.revert.section.partialSuccess":"Qaybta la noqday qayb ahaan","codex.review.revert.section.success":"Qaybta laga noqday","codex.review.revertDialog.cancel":"Kansal","codex.review.revertDialog.confirm":"Xaqiiji","codex.review.revertDialog.message":"Falkan waxa uu ka saaraa dhammaan isbeddelada.","codex.review.revertDialog.skip":"Markale ha weydiin","codex.review.revertDialog.title":"Ka noqo isbeddelada?","codex.review.richPreview.disable":"Xidh sifooyinka otomaatiga ah ee abka","codex.review.richPreview.enable":"Fur sifooyinka otomaatiga ah ee abka","codex.review.source.cloud":"Isbeddelada cloud","codex.review.source.local.all":"DHammaan isbeddelada faracyada","codex.review.source.local.lastTurn":"Markii u dambaysay isbeddelada","codex.review.source.local.uncommitted":"Isbeddelada aan la dirin","codex.review.source.worktree":"Isbeddelada worktree aan la kaydin","codex.review.stageFilter.empty.staged.description":"Aqbal wax ka beddelka si loo diyaariyo iyaga","codex.review.stageFilter.empty.staged.title":"Ma jiraan isbeddelo diyaarsan","codex.review.stageFilter.empty.unstaged.description":"Isbeddelada koodhka ayaa halkan ka muuqan doona","codex.review.stageFilter.empty.unstaged.title":"Ma jiraan isbeddelo aan diyaarsanayn","codex.review.stageFilter.staged":"Diyaarsan","codex.review.stageFilter.staged.count":"Diyaarsan {count}","codex.review.stageFilter.unstaged":"Aan diyaarsanayn","codex.review.stageFilter.unstaged.count":"Aan diyaarsanayn {count}","codex.review.switchToSplit":"U bedel kala jebi faraqa","codex.review.switchToUnified":"U beddel faraqa midaysan","codex.review.toggleDiffView":"U beddel aragti ka duwan","codex.review.wordDiffs.disable":"Xidh kala duwanaanshaha erayga","codex.review.wordDiffs.enable":"Fur kala duwanaanshaha erayga","codex.review.wrap.disable":"Xidh laynka kala qaybinta","codex.review.wrap.enable":"Fur laynka kala qaybinta","codex.section.patch.missing":"Aan awoodin dhisida qayb ka mid ah qaybtan.","codex.shell.collapse":"Soo rid shelka","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Koobiyeeyay macluumamadka shelka","codex.shell.copy.copyTooltip":"Koobiyee macluumamadka shelka","codex.shell.copyCommand":"Koobiyee amarka","codex.shell.copyOutput":"Soo saarida koobiga","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Ballaadhi shelka","codex.shell.name":"Xaalad","codex.shell.noOutput":"Ma jiraan natiijo","codex.signInFailed.message":"Galida waa fashilantay: {rawMessage}","codex.stories.toast.show":"Muuji Toast","codex.stories.tooltip.basic":"Kani waa qoraal faahfaahin leh","codex.stories.tooltip.hoverMe":"I dul mari","codex.stories.tooltip.largerOffset":"Qoraalka faahfaahinta leh waxa uu leeyahay fogaan ka wayn","codex.stories.tooltip.offsetButton":"Fogaan ka wayn","codex.stories.tooltip.shortcutButton":"Wadata qayb kooban","codex.stories.tooltip.withShortcut":"Beddel bixida","codex.taskRow.title":"Qaybta cusub","codex.taskRowLayout.confirm":"Xaqiiji","codex.threadFindBar.chatFilter":"Raadi wada sheekaysiga","codex.threadFindBar.close":"Xidh helida","codex.threadFindBar.diffFilter":"Raadi kala duwanaanshaha","codex.threadFindBar.label":"Hel qaybtan fariimaha","codex.threadFindBar.nextResult":"Natiijada xigta","codex.threadFindBar.noResults":"0 natiijooyinka","codex.threadFindBar.placeholder":"Raadi qaybta...","codex.threadFindBar.placeholder.extension":"Raadi qaybta...","codex.threadFindBar.placeholder.review":"Raadi kala duwanaanshaha...","codex.threadFindBar.placeholder.review.extension":"Raadi kala duwanaanshaha...","codex.threadFindBar.previousResult":"Natiijadii hore","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# faylka ayaa la beddelay} other {# faylashu way isbeddeleen}}","codex.unifiedDiff.inlineLargeFile":"Aad ugu wayn in lagu soo bandhigo gudaha bogga","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Ka-noqo","codex.unifiedDiff.revertPatchError":"Ku guul daraystay celinta isbeddelada","codex.unifiedDiff.revertPatchSuccess":"Isbeddelada waa la celiyay","codex.unifiedDiff.reviewChangesSuffix":"isbeddelada","codex.unifiedDiff.reviewShort":"Dib-u-eeg","codex.unifiedDiff.viewDiffTooltip":"Dib-u-eeg","codex.upsellBanner.business.headline":"Si loo helo gelid badan hadda, u soo dir codsi maamulahaaga, si loo sii wado, ama sug ilaa {resetDate}","codex.upsellBanner.cbp.headline":"Si loo helo gelid badan hadda, u soo dir codsi maamulahaaga.","codex.upsellBanner.cta.addCredits":"Ku dar Boondooyin","codex.upsellBanner.cta.upgradeAccount":"Casriyeey","codex.upsellBanner.cta.viewUsage":"Arag Isticmaalaha","codex.upsellBanner.free.trialHeadline":"Heerkaaga xadku waxa uu dib u bilaabmaa{resetDate}. Sii wad isticmaalka Codex iyo gelida GPT-5.3-Codex, billoow tijaabadaada bilaashka ah ee Plus maanda.","codex.upsellBanner.freeOrGo.headline":"Xadkaaga qiimaha wuxuu dib u bilaabmaa {resetDate}. Si aad u sii wadid isticmaalka Codex, ku cusbooneysii maanta Plus.","codex.upsellBanner.general.headline":"Xadkaaga qiimaha ayaa bilaabma {resetDate}.","codex.upsellBanner.general.title":"Waad ka baxsan tahay fariimaha Codex","codex.upsellBanner.go.trialHeadline":"Heerkaaga xadku waxa uu dib u bilaabmaa{resetDate}. Sii wad isticmaalka Codex, bilow tijaabadaada bilaashka ah ee Plus maanda.","codex.upsellBanner.plus.headline":"Xadka qiimahaaga wuxuu bilaabmaa {resetDate}. Si loo sii wado isticmaalka Codex, ku dar dhibcaha ama ku cusbooneysii maanta Pro.","codex.upsellBanner.pro.headline":"Xadka qiimahaaga wuxuu bilaabmaa {resetDate}. Ku dar dhibcaha si loo sii wado isticmaalka Codex hadda.","codex.userMessage.autoResolveSync":"Xalinta otomaatiga ah ee khilaafyada","codex.userMessage.commentCount":"{count, plural, one {# faallo} other {# faallooyinka}}","codex.userMessage.copiedAriaLabel":"La-koobiyeeyey","codex.userMessage.copiedTooltip":"La-koobiyeeyey","codex.userMessage.copyAriaLabel":"Koobiyee fariinta","codex.userMessage.copyTooltip":"Koobi-garee","codex.userMessage.implementPlan":"Hirgeli qorshaha","codex.userMessage.noContent":"Waxba kuma jiraan","codex.userMessage.priorConversation":"Tixraacyada ka hor wada sheekaysiga","codex.userMessage.reviewMode":"Qaabka dib u eegida","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"ku saabsan {query}","codex.webSearch.summary.verb.completed":"Raadiyay shabakada","codex.webSearch.summary.verb.inProgress":"Raadinaya shabakada","codex.windowsInstallWslBanner.dismiss":"Iska dhaaf","codex.windowsInstallWslBanner.installWslCta":"Fur sandbox","codex.windowsInstallWslBanner.learnMore":"Wax badan ka baro","codex.windowsSandboxBanner.content":"Qaabka wakiilku waxa uu isticmaalaa sandbox tijaabo ah ee Windows si loo xadido nidaamka faylka iyo gelida shabakada. {sandboxLink}","codex.windowsSandboxBanner.title":"Xidh sandbox ee qaabka Wakiilka","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Setinka Windows","codexUpgradeModal.body":"Xadkayaga u dambeeya ee moodeelka wakiilka koodh samayntal — ka wanaagsan, degdeg badan, oo awood badan leh xaga shaqada guud ee farsamada.{link}","codexUpgradeModal.close":"Xidh","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Wax badan ka baro","codexUpgradeModal.title":"Bilaabida GPT-5.3-Codex-Max","codexUpgradeModal.tryNewModel":"Isku day GPT-5.3-Codex hadda","codexUpgradeModal.useExistingModel":"Ku sii wad moodeelka hadda","commentAttachments.numComments":"{count, plural, one {# faallo} other {# faallooyinka}}","commentAttachments.removeAriaLabel":"Ka saar lifaaqa faallooyinka","common.close":"Xidh","composer.addContext.openFilePickerError":"Aan awoodin furida qaataha faylka","composer.addContextDropdown.ariaLabel":"Ku dar faylashada iyo wax badan","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Ku dar faylashada iyo wax badan","composer.addPhotosAndFiles":"Ku dar sawirada & faylasha","composer.atMentionList.emptyQuery":"Isku day raadinta faylasha","composer.atMentionList.loading":"Ka-raadinaya...","composer.atMentionList.noResults":"Majiraan natiijooyin","composer.attemptsSelector.option":"{count, plural, one {# nooca} other {# noocyada}}","composer.attemptsSelector.tooltip":"Tirada isku dayada siman ee Codex si loo sameeyo","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Jooji","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Maxali ah","composer.cloudFollowUp.whereRun":"Halkee ayay la socodkan ka socotaa?","composer.cloudTaskCreationError":"Cilada abuurida hawsha cloud","composer.cloudTaskError":"Cillad abuurida hawsha","composer.contextWindow.autoCompactionTooltipLine1":"Codex si toos ah waxay isugu dartaa xaalada","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Shaashada nuxurka","composer.contextWindowUsageStatusFull":"{usage}% buuxa","composer.contextWindowUsageStatusLeft":"{usage}% la isticmaalay ({remaining}% bidix)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k calaamadaha la isticmaalay","composer.customCliTooltip":"Isticmaalaya CLI caadiga ee la fulin karo","composer.dictation.aria":"Yeedhi","composer.dictation.cancel.aria":"Jooji yeedhiska","composer.dictation.cancel.tooltip":"Jooji yeedhiska","composer.dictation.startError":"Aan awoodin bilaabida yeedhiska","composer.dictation.submit.aria":"Qor codka oo dir","composer.dictation.submit.tooltip":"Qor codka oo dir","composer.dictation.tooltip":"Hay si aad u yeeriso","composer.dictation.transcribeError":"Aan awoodin qorida faylk maqalka ah","composer.dictation.unsupported":"Yeedhiska lagama heli karo qalabkan","composer.dropOverlay.holdShift":"Hay {key} ilaa dhibic","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Samee mid cusub","composer.environmentSelector.error":"Khaladka soo saarida deegaanka","composer.environmentSelector.goBack":"Dib ugu noqo sameeyaha","composer.environmentSelector.title":"Dooro deegaanka","composer.environmentSelector.tooltip":"Dooro deegaanka kalowdh","composer.feedbackSlashCommand.title":"Faallo celin","composer.filePicker.selectFile":"Dooro faylka","composer.filePicker.selectFiles":"Dooro faylasha","composer.followerTooltip":"Si loo sii wado, ku laabo shaashada halka wada sheekaysigu ka bilaabmay.","composer.footer.branchSwitch.checkoutError":"Ku fashilmay beddelka faraca: {message}","composer.footer.branchSwitch.createAndCheckout":"Samee oo hubi farac cusub…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Isbeddelada beddelka si loo sameeyo oo loo hubiyo farac cusub","composer.footer.branchSwitch.createBranchError":"Ku fashilmay samaynta faracan: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Magaca faraca","composer.footer.branchSwitch.createDialog.branchExistsError":"Faracu hadda ka hor wyu jiraa","composer.footer.branchSwitch.createDialog.close":"Xidh","composer.footer.branchSwitch.createDialog.createAndCheckout":"Samee oo hubi","composer.footer.branchSwitch.createDialog.placeholder":"faraca cusub","composer.footer.branchSwitch.createDialog.title":"Samee oo hubi farac","composer.footer.branchSwitch.createDialog.trailingSlashError":"Magaca faca ma dhammaan karto “/”.","composer.footer.branchSwitch.tooltip":"Beddel faraca","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Ku kaydi isbeddelada gudaha{fileCount, plural, one {# fayl} other {# faylasha}} si loo hubiyo{branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Hawsha dirida","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"isbeddelada gudaha{fileCount, plural, one {# fayl} other {# faylasha}} si loo hubiyo{branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Kansal","composer.footer.branchSwitch.uncommittedDialog.commit":"Kaydi oo beddel faraca...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Isbeddeladaada faylasha soo socda waxaa lagu waayi doonaa hubinta.","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Fadlan kaydi isbeddeladaada si loo sii wado","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"faraca la xushay","composer.footer.branchSwitch.uncommittedDialog.title":"Isbeddelada kaydka si loogu beddelo farac","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Aan la beddelin: {fileCount, plural, one {# fayl} other {# faylasha}}","composer.forkSlashCommand.description":"Qaybtan u koobiyee qayb goobta ama worktree cusub","composer.forkSlashCommand.option.local.description":"Ka sii soo qayb cusub goobta","composer.forkSlashCommand.option.local.title":"Samee koobiga goobta ah","composer.forkSlashCommand.option.worktree.description":"Ka sii wad gudaha worktree cusub","composer.forkSlashCommand.option.worktree.title":"U koobiyee worktree cusub","composer.forkSlashCommand.title":"Kala qaybi","composer.ideContextIndicator":"Macluumaadka IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Ku dar macluumaadka ka yimid","composer.ideContextIndicator.tooltipToggle":"si loo beddelo","composer.ideContextSlashCommand.disableDescription":"Demi macluumaadka IDE","composer.ideContextSlashCommand.enableDescription":"Ku dar xulashada hadda, fur faylasha, oo ku dar macluumaad ka yimid IDE gaaga","composer.ideContextSlashCommand.title":"Macluumaadka IDE","composer.imageInputsUnsupported":"Moodeelkan ma taageero ku darida sawirka. Isku day moodeel ka duwan.","composer.imageUploadFailed":"Ku guul daraystay soo gelinta sawirka","composer.includeIdeContextDropdown":"Ku dar macluumaadka IDE","composer.includeIdeContextDropdown.ariaLabel":"Ku dar macluumaadka IDE","composer.localCwdDropdown.addWorkspaceRoot":"Ku dar mashruuc cusub","composer.localCwdDropdown.noActiveRoot":"Dooro mashruucaaga","composer.localCwdDropdown.noResults":"Lama helin wax faylal ah","composer.localCwdDropdown.title":"Dooro mashruucaaga","composer.localTaskError":"Cilada bilaabida wada sheekaysiga","composer.mcpSlashCommand.description":"Tus heerka serferka MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Lama xaqiijin","composer.mcpStatus.authOauth":"La xaqiijiyay (OAuth)","composer.mcpStatus.authToken":"La xaqiijiyay (furaha API)","composer.mcpStatus.authUnsupported":"ISTUUDYO","composer.mcpStatus.close":"Xidh","composer.mcpStatus.disabled":"La xidhay","composer.mcpStatus.emptyLabel":"Serferada:","composer.mcpStatus.emptyValue":"Serferada MCP kuma xidhna","composer.mcpStatus.enabled":"La-furey","composer.mcpStatus.errorLabel":"Xaalada:","composer.mcpStatus.errorValue":"Aan awoodin soo gelinta heerka MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Wakiilka","composer.mode.agentMode.auto.dropdownLabel":"Wakiilka","composer.mode.agentMode.auto.optionLabel":"Wakiilka","composer.mode.agentMode.changePermission":"Beddel moodeelka","composer.mode.agentMode.custom":"Caadi ah","composer.mode.agentMode.custom.dropdownLabel":"Caadi ah","composer.mode.agentMode.custom.option":"Cadi (ku xidh.toml)","composer.mode.agentMode.custom.optionLabel":"Cadi (ku xidh.toml)","composer.mode.agentMode.customInfo.cancel":"Kansal","composer.mode.agentMode.customInfo.cli":"Waxaad ku habbayn kartaa setinka ka yimid CLI ama iyaddoo wax laga beddelayo faylka si toos ah.","composer.mode.agentMode.customInfo.confirm":"Isticmaal qaabka caadiga ah","composer.mode.agentMode.customInfo.description":"Qaabka caadiga ah waxa uu ka habboon yahay oggolaanshaha iyo xeerarka setinka lagu xadiday kaaga<link>config.toml</link> Fayl","composer.mode.agentMode.customInfo.docs":"Baro wax badan oo ku saabsan ku xidhida oggolaanshaha xeerarka qoran ee setinka<link>fulinta dhokumentiyada deegaanka</link>.","composer.mode.agentMode.customInfo.refresh":"Isbeddelo kasta waxa uu dhaqan galaa wakhtiga xigta marka wakiilku socdo.","composer.mode.agentMode.customInfo.title":"Sida qaabka caadiga ah u shaqeeyo","composer.mode.agentMode.fullAccess":"Wakiilka (gelida buuxda)","composer.mode.agentMode.fullAccess.dropdownLabel":"Wakiilka (gelida buuxda)","composer.mode.agentMode.fullAccess.optionLabel":"Wakiilka (gelida buuxda)","composer.mode.agentMode.fullAccessConfirm.caution":"Ku dhaqan feejignaan marka la furayo gelida buuxda. Tani si buuxda waxay u kordhisaa khatarta waayida xogta, liigida, ama dhaqan aan la filayn.","composer.mode.agentMode.fullAccessConfirm.confirm":"Haa, sii wad si kastaba ha ahaatee","composer.mode.agentMode.fullAccessConfirm.description":"Marka Codex uu wado gelida buuxda, waxbay ka beddeli kartaa fayl kasta oo kombuyuutarkaaga oo wad amarada wata shabakada, iyaddoon lahayn oggolaanshahaaga/","composer.mode.agentMode.fullAccessConfirm.goBack":"Kansal","composer.mode.agentMode.fullAccessConfirm.title":"Awood u sii gelida buuxda?","composer.mode.agentMode.readOnly":"Wada sheekaysi qoran","composer.mode.agentMode.readOnly.dropdownLabel":"Wada sheekaysi qoran","composer.mode.agentMode.readOnly.optionLabel":"Wada sheekaysi qoran","composer.mode.agentMode.tooltip":"Beddel moodeelka","composer.mode.agentMode.tooltip.auto":"Akhri oo wax ka beddel faylashada, oo wad amarada.","composer.mode.agentMode.tooltip.custom":"Isticmaal oggolaanshaha u dambeeyay iyo xeerarka isku xidhka gudaha ku xidhida.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex waxbuu ka beddeli karaa faylashada dibada mashruuca oo wad amarada wata gelida shabakada. Ku dhaqan feejignan marka aad isticmaalayso.","composer.mode.agentMode.tooltip.readOnly":"U baahan oggolaanshaha si wax looga beddelo faylasha iyo wadista amarada.","composer.mode.cloud.tooltip":"Ka shaqee deegaanka kalowdh","composer.mode.contactAdmin":"Si loo helo gelid badan, la xidhiidh maamulkaaga","composer.mode.local":"Maxali ah","composer.mode.local.learnMore":"Wax badan ka baro","composer.mode.local.model.custom":"Caadi ah","composer.mode.local.model.loadingModel":"Soo saaraya moodeelka","composer.mode.local.model.selecrReasoningEffort":"Dooro sababaynta","composer.mode.local.model.selectModel":"Dooro moodeel","composer.mode.local.model.tooltip":"Dooro qaabka","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Sare","composer.mode.local.reasoning.low.label":"Hoose","composer.mode.local.reasoning.medium.label":"Dhexdhexaad","composer.mode.local.reasoning.minimal.label":"Ugu yar","composer.mode.local.reasoning.none.label":"Midna","composer.mode.local.reasoning.xhigh.label":"Aas U saraysa","composer.mode.localRemoteWhereRun":"Dooro halka laga wadno hawsha","composer.mode.newTask.header":"Ka sii wad gudaha","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"Qiimee xadadka hadhay","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} xadka:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {Xadka todobaadlaha ah} other {{weeks} xadka todobaadka}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Todobaadle} other {{weeks} Todobaad}}","composer.mode.remote.connectToCloud":"Ku xidh shabakada Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Samee deegaanka addoo maraya shabakada Codex si aad ugu furto hawlaha dirida cloud","composer.mode.remote.selectEnvironment":"Dooro deegaanka","composer.mode.remote.sendToCloud":"U dir cloud","composer.mode.remote.setupViaWeb":"Ku shub barnaamijka gudaha addoo maraya shabakada Codex","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Ka shaqee gudaha deegaanka cloud","composer.mode.segmentedToggle.local.tooltip":"Ka shaqee mashruucaaga gidaha","composer.mode.segmentedToggle.worktree.tooltip":"Ka sahqee worktree siman","composer.mode.upgradeToPlus":"Sare-uqaad Plus","composer.mode.upgradeToPro":"Ku cusboonaysii ilaa Pro","composer.mode.workLocally":"Mashruuca gudaha","composer.mode.workLocally.currentBranchFallback":"faracaaga","composer.mode.workLocally.tooltip":"Ka shaqee {branchName}","composer.mode.worktree":"Worktree cusub","composer.mode.worktree.submoduleWarning":"Kaydkaan wuxuu leeyahay git submodules, Samaynta Worktree way fashilmi kartaa","composer.mode.worktree.tooltip":"Samee koobiga mashruuca si looga shaqeeyo si siman","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Beddelka moodeelada wada sheekaysiga dhexdiisa waxay hoos u dhigi doontaa bandhiga.","composer.newChat.heading.browser":"Maxaan koodh u samaynaynaa marka xigta?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex waxay isticmaashaa oggolaanshaha lagu qeexay config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex waxay si buuxda u soo geli kartaa kombuyuutarkaaga (khatarta sare loo qaaday)","composer.permissionsDropdown.custom.label":"Cadi (ku xidh.toml)","composer.permissionsDropdown.custom.optionLabel":"Cadi (ku xidh.toml)","composer.permissionsDropdown.default.label":"Oggolaanshe asal ah","composer.permissionsDropdown.default.optionLabel":"Oggolaanshe asal ah","composer.permissionsDropdown.default.tooltip":"Codex si toos ah waxay u wadaa amarada gudaha amarada la fuliyay.","composer.permissionsDropdown.disabled.requirements":"Oggolaanshaha waxaa xidha shuruudahaha.toml","composer.permissionsDropdown.fullAccess.disabled":"Gelida buuxda waxaa xidhay shuruudaha.toml","composer.permissionsDropdown.fullAccess.label":"Gelida buuxda","composer.permissionsDropdown.fullAccess.optionLabel":"Gelida buuxda","composer.permissionsDropdown.trigger.tooltip":"Beddel oggolaanshaha","composer.personalitySlashCommand.description.friendly":"Diiran, wada shaqayn leh, iyo caawimo badan","composer.personalitySlashCommand.description.pragmatic":"Kooban, hawsha xooga saaraya, iyo toos ah","composer.personalitySlashCommand.label.friendly":"Saaxiibtinimo leh","composer.personalitySlashCommand.label.pragmatic":"Dhab ah","composer.personalitySlashCommand.notApplicableSuffix":"(Ma quseeyo qaabka hadda)","composer.personalitySlashCommand.title":"Shakhsiyada","composer.placeholder.cloudFollowUp.directFollowUp":"La socodka hawsha kalowdhkan","composer.placeholder.cloudFollowUp.local":"Samee hawl cusub oo gudaha oo tixraacda hawshan cloud","composer.placeholder.cloudFollowUp.workingTree":"Samee hawl kalowdh ah oo ay ku jirto koodhkaaga hadda oo tixraaci doona hawshan.","composer.placeholder.localFollowUp.cloud":"La soco hawsha kalowdhka cusub","composer.placeholder.localFollowUp.locally":"Waydii isbeddelada la socodka","composer.placeholder.newTask.cloud":"Waydii Codex inay qabato shay kasta gudaha kalowdhka","composer.placeholder.newTask.doAnything":"Waydii Codex inay qabato shay kasta","composer.placeholder.newTask.locally":"Waydii Codex wax kasta, @ si loogu daro faylasha, / amarada","composer.planModeDropdown":"Qaabka qorshaha","composer.planModeDropdown.ariaLabel":"Qaabka qorshaha","composer.planModeIndicator":"Qorshaha","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Ku samee qorshaha Codex","composer.planModeIndicator.tooltipToggle":"si loo beddelo","composer.planSlashCommand.disableDescription":"Demi qaabka qorshaha","composer.planSlashCommand.enableDescription":"Daar qaabka qorshaha","composer.planSlashCommand.title":"Qaabka qorshaha","composer.priorContext.label":"Xaalada hore","composer.priorContext.removeAriaLabel":"Ka saar xaaladaha hore","composer.queuedMessage.delete":"Tirtir fariinta safka ku jirta","composer.queuedMessage.edit":"Tifatir fariin","composer.queuedMessage.more":"Falalka fariinta safka ku jirta","composer.queuedMessage.sendNow":"Hagid","composer.queuedMessage.sendNowTooltip":"Dir hadda addoon faro gelin shaqada","composer.queuedMessage.turnOff":"Demi saf ku jirida","composer.reasoningEffort.local.reasoning.tooltip":"Dooro  dedaalka sababaynta","composer.remote.branchStartingPoint":"Faracee ayaa hawsha ka bilaabantaa?","composer.remote.branchesSectionHeading":"Faracyada","composer.remote.currentEditsSuffix.followUp":"Samee hawl cusub oo tixraacda hawshan cloud","composer.remote.currentEditsSuffix.useLocal":"wata isbeddelada koodhka gudaha","composer.remote.directFollowUp":"Isticmaalin isbeddelada koodhka gudaha","composer.remote.errorLoadingBranches":"Cillad lagala kulmey soo rarida faracyada","composer.remote.fromBranch":"Laga bilaabo {branch}","composer.remote.fromCurrentBranch":"Ka yimid {branch} (chadda)","composer.remote.loadingMoreBranches":"Soo-rarmaya…","composer.remote.localFileStateHeading":"Xaalada faylka gudaha","composer.remote.localWorkingTree":"isticmaal isbeddelada gudaha","composer.remote.startingPoint":"Koodhkee ayaa hawsha ka bilaabantaa?","composer.reviewMode.branches.error":"Aan awoodin soo gelinta faracyada","composer.reviewMode.branches.retry":"Dib isugu day","composer.reviewMode.gitRoot.error":"Git root lama helin","composer.reviewMode.option.baseBranch.simple":"Dib u eeg si ku lid ah faraca bilowga ah","composer.reviewMode.option.unstaged.simple":"Dib u eeg isbeddelada aan la bixin","composer.reviewMode.quickReviewError":"Ku fashilmay bilaabida qiimaynta koodhka","composer.reviewMode.title":"Dib u eegida koodhka","composer.sandboxButton.unlock.disabled.tooltip":"Gelida buuxda waxaa xidhay shuruudaha.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex waxa uu isticmaalaa goobta tijaabinta tijaabo ah ee Windows si loo xadido nidaamka faylka iyo gelida shabakada. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Fur goobta tijaabada ee Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Isticmaal akhri keliya","composer.searchEnvironments":"Raadi deegaanada","composer.skillMentionList.app":"Abka","composer.skillMentionList.loading":"Soo saaraya xirfadaha...","composer.skillMentionList.noResults":"Wax xirfad ah lama helin","composer.slashCommands.cloudEnvironment.title":"Barnaamijka deegaanka clous","composer.slashCommands.dialogLabel":"Liiska amarka islaash","composer.slashCommands.dialogTitle":"Amarada islaash","composer.slashCommands.disabledTooltip":"Bilow wada sheelaysi cusub si loo isticmaalo amarada islaash","composer.slashCommands.inputPlaceholder":"Raadi","composer.slashCommands.noResults":"ma jiraan amaro","composer.slashCommands.skillsGroup":"Xirfadaha","composer.slashCommands.tooltip":"Baadh amarada islaashta","composer.status.close":"Xidh","composer.statusPlain.alertLabel":"Digniin:","composer.statusPlain.alertValue":"{remaining}% bidixda {window}","composer.statusPlain.contextLabel":"Nuxurka:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} isticmaalay / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% bidix","composer.statusPlain.heading":"Xaalada","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} xadka:","composer.statusPlain.rateLimitDays":"{count}d xadka","composer.statusPlain.rateLimitFallbackLabel":"Xadka Heerka:","composer.statusPlain.rateLimitHours":"{count}h xadka","composer.statusPlain.rateLimitLabelBase":"Xadka heerka","composer.statusPlain.rateLimitMinutes":"{count}m xadka","composer.statusPlain.rateLimitPercent":"{remaining}% bidix","composer.statusPlain.rateLimitReset":"Dib u bilaaba{time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"wakhtiga dib u bilowga lama heli karo","composer.statusPlain.rateLimitUnavailable":"Aan la heli karin","composer.statusPlain.sessionCopiedAriaLabel":"Aqoonsiga kullanka la koobiyeeyay","composer.statusPlain.sessionCopiedTooltip":"Aqoonsiga La koobiyeeyay","composer.statusPlain.sessionCopyAriaLabel":"Koobiyee aqoonsiga kullanka","composer.statusPlain.sessionCopyTooltip":"Koobiyee Aqoonsiga","composer.statusPlain.sessionLabel":"Kullanka:","composer.statusSlashCommand.description":"Tus liidka qaybta, isticmaalka xaalada, iyo xadadka qiimaha","composer.statusSlashCommand.title":"Xaalada","composer.submit.blockedDialogOk":"Waayahay","composer.submit.blockedDialogTitle":"Aan awoodin dirida fariinta","composer.submit.emptyMessage":"Geli fariinta si loo bilaabo","composer.submit.imageInputsUnsupported":"Ka saar sawirada ama beddel moodeelada si loo diro fariintan.","composer.submit.loadingLocalConfig":"Soo-rarmaya…","composer.submit.missingCloudConfig":"Waa inaad doroataa barnaamijka deegaanka cloud","composer.submit.missingCloudTurn":"Lama socon karo hawshan","composer.submit.noWorkspace":"Ku dar mashruuca si loo isticmaalo Codex","composer.submit.waitForImageUploads":"Sawirka la soo gelinayo…","composer.submitButtonTooltip.send":"Dir","composer.submitButtonTooltip.stop":"Jooji","composer.worktreeEnvironment.create":"Samee deegaanka gudaha","composer.worktreeEnvironment.default":"Nidaamka asal ahaan otomamatiga ah","composer.worktreeEnvironment.error":"Khaladka soo saarida deegaanka","composer.worktreeEnvironment.loading":"Soo saarida nidaamka deegaanka…","composer.worktreeEnvironment.title":"Nidaamka deegaanka gudaha","composer.worktreeEnvironment.tooltip":"Dooro nidaamka deegaanka gudaha","composer.worktreeSetupFailed":"Ku shubida worktree wuu fashilmay. Hubi codex/deegaanada wixii ah ku shubida barnaamijka.","compoundButton.secondaryAction":"Qaybta labbaad","copyButton.copied":"La-koobiyeeyey","copyButton.copiedAriaLabel":"La-koobiyeeyey","copyButton.copy":"Koobi-garee","copyButton.copyAriaLabel":"Koobi-garee","copyButton.copyCode":"Koobi-garee koodh","diff.actionButton.revertFile":"Ka noq faylka","diff.actionButton.revertHunk":"Ku noqo...","diff.actionButton.revertSection":"Ka noqo dhammaan","diff.actionButton.revertSectionLabel":"Ka noqo dhammaan","diff.actionButton.stageFile":"Diyaari faylka","diff.actionButton.stageHunk":"Diyaari","diff.actionButton.stageSection":"Diyaari dhammaan","diff.actionButton.stageSectionLabel":"Diyaari dhammaan","diff.actionButton.unstageFile":"Ka saar faylka","diff.actionButton.unstageHunk":"Ka saar","diff.actionButton.unstageSection":"Ka saar dhammaan","diff.actionButton.unstageSectionLabel":"Ka saar dhammaan","diff.fileHeader.toggle":"Ku beddel fayl ka duwan","electron.onboarding.login.apikey.cancel":"Kansal","electron.onboarding.login.apikey.continue":"Sii wad","electron.onboarding.login.apikey.label":"Furaha OpenAI API","electron.onboarding.login.apikey.open":"Geli furaha API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Tirtir soo gelida","electron.onboarding.login.chatgpt.continue":"Kusii wad ChatGPT","electron.onboarding.login.devbox":"Ku xidh SSH fog","electron.onboarding.login.error":"Galida waa fashilantay: {rawMessage}","electron.onboarding.login.snake.start":"Ciyaar Snake","electron.onboarding.login.sshConfig.cancel":"Kansal","electron.onboarding.login.sshConfig.continue":"Sii wad","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Qaabka ugu wanaagsan ee lagu dhiso wakiilo","electron.onboarding.login.title":"Ku soo dhawow Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Sii wad","electron.onboarding.welcome.doubleLimits.description":"Dabaal dega bilaabida aabka Codex, waxaad haysataa xadadka qiimaha 2x oo illaa Abriil 2.","electron.onboarding.welcome.freego.description":"Codex waxaa lagu daray qorshagaaga bilaash ahaan ilaa Maarso 2 deeda -- aan billoowno wada dhisida.","electron.onboarding.welcome.new.title.anon":"Soo dhawow!","electron.onboarding.workspace.continue":"Sii wad","electron.onboarding.workspace.empty":"Ku dar mashruuca si loo sii wado.","electron.onboarding.workspace.listLabel":"Mashruucayada la heli karo","electron.onboarding.workspace.loading":"Soo saaraya mashruucyada","electron.onboarding.workspace.openFolder":"Ku dar Mashruuca","electron.onboarding.workspace.selectAll":"Dooro dhammaan","electron.onboarding.workspace.skip":"Ka bood","electron.onboarding.workspace.skip.error":"Samayn kari waayay mashruuc cusub: {message}","electron.onboarding.workspace.skip.error.unknown":"Cillad aan la garaneyn","electron.onboarding.workspace.skipping":"Samaynaya mashruuc cusub...","electron.onboarding.workspace.subtitle":"Codex waxaa u suurtogaleyso inay wax ka badelaan feelasha oo maareeyaan galalka la doortay.","electron.onboarding.workspace.title":"Dooro mashruuca","errorPage.list.checkSettings":"Isku day cusbooneysiinta setinkaaga IDE","errorPage.list.configToml":"Ka hubi config.tom kaaga wixii ah setin aan ansax ahayn","errorPage.list.downloadExtension":"Isku day soo dejinta nooc ka duwan ee kordhinta","errorPage.list.runInWsl":"Hubi setinkaaga si aad u xidho wadista gudaha WSL haddii aad arkayso arrimaha waafaqsanaanta","execApprovalRequest.menu.runAlways":"Haa, oo ma waydiinaysid mar labbaad kullankan","execApprovalRequest.menu.runAlwaysWithAmendment":"Haa, oo ha weydiin markale oo amarada ku billoowdo {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Haa, oo ha waydiin markale amarada ku bilawdo","execApprovalRequest.menu.runOnce":"Haa","execApprovalRequest.prompt":"Ma doonaysaa inaad wado amarkan?","execApprovalRequest.reject":"Maya","execFooter.exitCode":"Koodhka bixida {code}","execFooter.exitCode.unknown":"la garaneyn","execFooter.success":"Guusha","feedback.dialog.category.badResult":"Natiijo xun","feedback.dialog.category.bug":"Cilad","feedback.dialog.category.goodResult":"Natiijo wanaagsan","feedback.dialog.category.other":"Kale","feedback.dialog.descriptionPlaceholder":"Ku faahfaahi arrinka halkan","feedback.dialog.dismiss":"Iska dhaaf","feedback.dialog.includeLogsLabel":"Ku dar diiwaanada kulladan hadda Codex","feedback.dialog.submit":"Gudbi","feedback.dialog.submitError":"Waanu gudbin kari waynay faalo celintaada. Fadlan isku day mar labbaad daqiiqad gudaheed.","feedback.dialog.title":"Faallo celin","feedback.dialog.uploadedMessage.existingIssue":"dhiba furan ee jirta","feedback.dialog.uploadedMessage.openIssue":"Fur arrinta GitHub","feedback.dialog.uploadedMessage.withThread":"Faallo celinta la soo geliyay. Haddii dhibaatadu sii jirto, fadlan {openIssueLink} ama sheeg aqoonsiga liidka {existingIssueLink}:","feedback.dialog.uploadedTitle":"Faallo celinta waa la soo geliyay","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Saar {filename}","header.back":"Laabo","header.recentChats":"Hawlaha","header.recentTasks.seeAll":"Arag dhammaan ({total})","home.header.getPlus":"Hel Plus","home.hero.letsBuild":"Aan dhisno","homePage.mainContent":"Macluumaadka wayn","imageAttachment.defaultName":"Sawir","imageAttachment.preview.close":"Xidh sawirka muuqaalka kooban","imageAttachment.removeAriaLabel":"Saar {filename}","implementPlanRequest.option.implement":"Haa, hirgeli qorshahan","implementPlanRequest.prompt":"Ku hirgeli qorshahan?","inbox.archived.deleteError":"Tirtiri kari waayay wadista la kaydiyay","inbox.archived.deleteRun":"Tirtir wadista la kaydiyay","inbox.archived.deleteSuccess":"Qaybta macluumaadka la seyf gareeyay la tirtiray. Arag gudaha <settingsLink> Qaybaha la seyf gareeyay </settingsLink>.","inbox.archived.inlineLabel.auto":"Fariimahaan taxanaha ayaa si toos ah loo keydiyay. <learnMoreLink>Baro wax badan</learnMoreLink>","inbox.archived.inlineLabel.manual":"Qaybtan waa la kaydiyay.","inbox.archived.noMessageFound":"Lama helin fariinta","inbox.automations.createError":"Samayn kari waa wayn otomaatig","inbox.automations.deleteConfirm.cancel":"Kansal","inbox.automations.deleteConfirm.confirm":"Tirtir otomaatiga","inbox.automations.deleteConfirm.description":"Tani si joogta ah waxay u tirtiri doontaa otomaatiga oo ay joojisaa socod kasta mustaqbalka.","inbox.automations.deleteConfirm.title":"Tirtir {name}?","inbox.automations.deleteError":"Tirtiri kari waayay otomaatiga","inbox.automations.editTooltip":"Wax ka beddel qaabka otomaatiga ah","inbox.automations.inProgress":"Socda","inbox.automations.new":"Cusub","inbox.automations.newToolbar":"Qaab otomaatig ah oo cusub","inbox.automations.pauseTooltip":"Jooji otomaatiga","inbox.automations.resumeTooltip":"Dib u billoow otomaatiga","inbox.automations.startingNow":"Bilaabaya hadda","inbox.automations.startsIn":"waxay bilaabmayaan {startTime}","inbox.automations.status.active":"Shaqaynaya","inbox.automations.status.paused":"La-joojiyey","inbox.automations.status.runs":"{count} socodyada","inbox.automations.status.started":"Bilaabay {date}","inbox.automations.updateError":"Cusboonaysiin kari waa wayn otomaatig","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Dhammaan","inbox.filter.ariaLabel":"Shaandhee sheeyada bogoska","inbox.filter.unread":"Aan la akhriyin","inbox.list.archived":"La kaydiyey","inbox.list.inProgress":"Socda","inbox.list.recent":"La dhammaystiray","inbox.list.upNext":"La qorsheeyay","inbox.mode.automations":"Otomaatiga","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Lama bixin faahfaahin","inbox.openThread":"Fur qaybta fariimaha","inbox.rightPanel.emptySubtitle":"Otomaatig ka dhig shaqada addoo samaynaya hawlo la qorsheeyay","inbox.rightPanel.emptySubtitle.learnMore":"Otomaatig ka dhig shaqada adoo hagaajinayo qaybaha la jadwaleeyay <link>Wax badan ka baro</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# otomaatiga shaqaynayaa} other {# otomaatigyo shaqaynayaa}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Ma jiraan otomaatigyo aan la akhrin","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# otomaatig aan la akhriyin} other {# otomaatigyo aan la akhrin}}","inbox.rightPanel.emptyTitle":"Shay lama dooran","inbox.rightPanel.noThread":"Ma jirto qaybta fariimaha shaygan","inbox.rightPanel.quickStart.header":"Ku bilow feel","inbox.untitled":"Shay aan cinwaan lahayn bogoska","loadingPage.documentationLink":"Caddaymaha","loadingPage.errorDescription":"Codex waxay ku baaba’day cilada soo socota:","loadingPage.errorDescription.documentation":"Riix dib u soo saar si aad dib ugu bilowdo kordhinta Codex, ama booqo kaayaga {documentationLink}wixii caawimo dheeraada ah.","loadingPage.errorSignal":"Shay la isku deyayo:","loadingPage.errorTitle":"Cilad ayaa dhacday","loadingPage.openConfigToml":"Fur Config.toml","loadingPage.reload":"Dib u soo kici","localConversation.contextCompacted":"Xaalada si toos ah la isugu xidhay","localConversation.contextCompacting":"Si toos ah isku xidhaxaaladahaya","localConversation.forkedFromConversation":"Laga soo koobiyeeyay {threadTitle}","localConversation.merge.autoResolve.failed":"Ku fashilmay codisa otomaariga ah si loo xaliyo: {error}","localConversation.merge.autoResolve.sent":"Codsiga otomatig u xalinta waa la diray","localConversation.merge.autoResolveMerge.missingConversation":"Aan awoodin otomaatig u xalinta iyaddoon lahayn wada sheekaysi shaqaynaya.","localConversation.merge.autoResolveMerge.request":"Otomaatig u xalil khilaafyada isku jirka ah","localConversation.modelChanged":"Moodeelka laga soo beddelay {fromModel} ilaa {toModel}.","localConversation.modelChanged.warning.line1":"Beddelka moodeelada wada sheekaysiga dhexdiisa waxay hoos u dhigi doontaa bandhiga.","localConversation.modelChanged.warning.line2":"Macluumaadku si toos ah ayuu isugu xidhmaa.","localConversation.moveThread.createBranch.label":"Samee farac","localConversation.moveToLocal.disabled.loading":"Soo-rarmaya…","localConversation.moveToLocal.modal.continue":"Sii wad","localConversation.moveToLocal.modal.destinationLabel":"U dhaqaaq","localConversation.moveToLocal.modal.retry":"Dib isugu day","localConversation.moveToWorktree.modal.back":"Laabo","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Faracu hadda ka hor wyu jiraa","localConversation.moveToWorktree.modal.branchesError":"Aan awoodin soo gelinta faracyada","localConversation.moveToWorktree.modal.branchesLoading":"Soo saaraya faracyada...","localConversation.moveToWorktree.modal.branchesRetry":"Dib isugu day","localConversation.moveToWorktree.modal.continue":"Sii wad","localConversation.moveToWorktree.modal.retry":"Dib isugu day","localConversation.moveToWorktree.modal.trailingSlashError":"Magaca faca ma dhammaan karto “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"faraca cusub","localConversation.personalityChanged":"Loo bedelay {personality} shakhsi ahaan","localConversation.planSummary.collapse":"Qari qorshaha kooban","localConversation.planSummary.collapseTooltip":"Dumi","localConversation.planSummary.download":"Soo deji qorshaha","localConversation.planSummary.expand":"Ballaadhi qorshaha kooban","localConversation.planSummary.expandTooltip":"Ballaari","localConversation.planSummary.openInNewWindow":"Fur","localConversation.planSummary.openInNewWindow.tooltip":"Ka fur shaashada cusub","localConversation.planSummary.title":"Qorshaha","localConversation.planSummary.titleWriting":"Qorshaha qorida","localConversation.planSummary.viewPlan":"Balaadhi qorshaha","localConversation.remoteTaskCreated":"Lagu sameeyay {taskLink} gudaha Codex Cloud","localConversation.remoteTaskCreated.task":"hawsha","localConversation.scrollToBottomButton":"Hoos u dhaadhac","localConversation.sync.buttonLabel":"Sii hawsha koox gudaha ah","localConversation.sync.buttonLabel.tooltip":"isbadelada dhiibida u dhexeeya worktree gan iyo hubinta gudaha.","localConversation.sync.modal.loading.title":"Dhiibaya isbadelada...","localConversation.sync.modal.noChanges":"Ma jiraan isbadelo","localConversation.syncSetup.branchAriaLabel":"Magaca faraca","localConversation.syncSetup.branchName":"Magaca faraca","localConversation.syncSetup.branchPlaceholder.existing":"Dooro faraca jira","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Soo saaraya faracyada...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Hadda ka hor la hubiyay","localConversation.syncSetup.checkoutClean":"Hadda {branchName}","localConversation.syncSetup.checkoutDirty":"Hadda {branchName} isbadelada aan la beddelin","localConversation.syncSetup.checkoutError":"Ku fashilmay in la hubiyo faraca:{message}","localConversation.syncSetup.checkoutLabel":"Ka eeg maxali ahaan hadda","localConversation.syncSetup.checkoutOnLocal":"Sii hawsha koox gudaha ah","localConversation.syncSetup.checkoutPending":"Hubinaya heerka maxaliga...","localConversation.syncSetup.checkoutUnavailable":"Goobaha shaqada lama heli karo","localConversation.syncSetup.checkoutUnknown":"Faraca maxaliga ah lama heli karo","localConversation.syncSetup.continue":"Sii wad","localConversation.syncSetup.createBranchError":"Ku fashilmay dejinta dhiibida faraca: {message}","localConversation.syncSetup.error":"Waxbaa qaldamay: {message}","localConversation.syncSetup.error.workingTreeMissing":"Aan awoodin ka qaadida sawir yar worktree. Fadlan isku day dhiibida hawsha mar labbaad.","localConversation.syncSetup.mode.ariaLabel":"Dooro qaabka faraca","localConversation.syncSetup.mode.existing":"Faraca jira","localConversation.syncSetup.mode.new":"Faraca cusub","localConversation.syncSetup.noBranches":"Lama helin faracyada","localConversation.syncSetup.overwriteError":"Faraca waa la sameeyay laakiin si buuxda looma dhiibin, U dhiib qoraal ahaan ka hor inta aan guda ahaan la hubin.","localConversation.syncSetup.setPrefix":"Deji erayga ka horeeya","localConversation.syncSetup.subtitle":"Tijaabi oo wax ka beddel isbadelada worktree gudaha. <a>Wax badan baro</a>","localConversation.syncSetup.success.checkedOut":"Faraca waxaa la sameeyay oo waxaa loo eegay si maxali ah","localConversation.syncSetup.success.notCheckedOut":"Faraca waa la sameeyay","localConversation.syncSetup.title":"U dhiibida faraca maxaliga ah","localConversation.syncWorktreeError.branchAriaLabel":"Magaca faraca","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Dooro farac si loo dhiibo, ka dibna isku day soo saarida isbadelada.","localConversation.syncWorktreeError.branchSetup.title":"Cusboonaysii faraca","localConversation.syncWorktreeError.branchUpdate.cta":"Cusbooneysii oo mar labbaad isku day","localConversation.syncWorktreeError.branchUpdate.error":"Ku guul daraystay cusbooneysiinta faraca: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Waxbaa qaldamay: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Laanta lagama bixiyo worktree walba.","localConversation.syncWorktreeV2.applyUncommitted":"Codso","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Waa inaad eegtaa faraca gudaha si loo adeegsado isbadelada aan la kaydin.","localConversation.syncWorktreeV2.branches.empty":"Lama helin faracyada","localConversation.syncWorktreeV2.branches.loading":"Soo saaraya faracyada...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"IsBadelka faraca dhiibida","localConversation.syncWorktreeV2.changeBranch.error":"Ku fashilmay Badelka dhiibida faraca: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Adeegsiga wuu fashilmay","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Badelka faylasha worktree way fashilantay","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Badelka gudaha wuu fashilmay","localConversation.syncWorktreeV2.commandError.back":"Laabo","localConversation.syncWorktreeV2.commandError.body":"Amarka git wuu fashilmay marka la dhiibayay hawsha. Dib u eeg natiijada oo isku day mar labbaad.","localConversation.syncWorktreeV2.commandError.retry":"Dib isugu day","localConversation.syncWorktreeV2.description":"isbadelada dhiibta u dhexeeya maxaliga ah iyo worktree gan <a>Baro wax badan</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Dooro tilmaanta dhiibida hawsha","localConversation.syncWorktreeV2.error.generic":"Waxbaa khaldamay marka la dhiibayo hawsha. Isku day mar labbaad.","localConversation.syncWorktreeV2.localBranchLabel":"Maxali ah","localConversation.syncWorktreeV2.noChanges":"Xisaabinta isbadelada","localConversation.syncWorktreeV2.noChanges.summary":"Ma jiraan isbadelo","localConversation.syncWorktreeV2.overwrite.local":"Badelka faylka gudaha","localConversation.syncWorktreeV2.overwrite.worktree":"Badelka faylka worktee","localConversation.syncWorktreeV2.partial.action.applyFailed":"Adeegsan kari waayay isbeddelada","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Beddeli kari waayay isbeddealda gudaha","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Beddeli kari waayay isbadelada worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"La adeegsaday","localConversation.syncWorktreeV2.partial.back":"Laabo","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Xalil khilaafyada oo isku day mar kale","localConversation.syncWorktreeV2.partial.conflictsLabel":"Khilaafyada","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fayl} other {# faylasha}}","localConversation.syncWorktreeV2.partial.retry":"Dib isugu day","localConversation.syncWorktreeV2.partial.skippedLabel":"Ka booday","localConversation.syncWorktreeV2.stateFailed.generic":"Waxbaa khaldamay marka la keenayay isbadelada worktree si loo dhiibo. Fadlan isku day mar labbaad.","localConversation.syncWorktreeV2.stateFailed.title":"Ku fashilmay soo saarida isbadelada worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Ku guul daraystay soo saarida isbadelada worktree.","localConversation.syncWorktreeV2.statusError.retry":"Dib isugu day","localConversation.syncWorktreeV2.statusError.title":"Aan awoodin soo saarida isbadelada faraca maxaliga ah","localConversation.syncWorktreeV2.statusError.unknown":"Heerka faraca lama heli karo hadda, Isku dar mar labbaad.","localConversation.syncWorktreeV2.success.apply":"Si guul ah u adeegsaday isbadelada","localConversation.syncWorktreeV2.success.overwrite":"Dhiibida waa lagu guuleystay","localConversation.syncWorktreeV2.title":"isbadelada dhiibida","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Waydiinaya {count, plural, one {su’aal} other {su’aalaha}}","localConversation.userInputRequest.noAnswer":"Jawaab lama bixin","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Waydiiyay","localConversation.userInputRequest.summary.count":"{count, plural, one {# su’aal} other {# su’aalaha}}","localConversation.workedFor":"Loo shaqeeyay {time}","localConversation.worktreeBranchSetup.action.create":"Abuur","localConversation.worktreeBranchSetup.branchAriaLabel":"Magaca faraca","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Abuur farac cusub","localConversation.worktreeBranchSetup.checkoutDisabled":"Faracan hadda ka hor waa la eega {location}","localConversation.worktreeBranchSetup.checkoutError":"Ku fashilmay in la hubiyo faraca:{message}","localConversation.worktreeBranchSetup.createBranchError":"Ku fashilmay samaynta faraca: {message}","localConversation.worktreeBranchSetup.error":"Waxbaa qaldamay: {message}","localConversation.worktreeBranchSetup.subtitle":"Samee faraca isbeddelada beddelka, riixida, iyo samaynta PR worktree gan. <a>Baro wax badan</a>","localConversation.worktreeBranchSetup.title":"Ka shaqee halkan","localConversationPage.addWorktreeToSidebar.tooltip":"U kaydi sidii mashruuca markaas waxaad isticmaali kartaa qaybo ka mid ah worktree gan","localConversationPage.addWorktreeToSidebarError":"Ku guul daraystay in lagu daro mashruuca","localConversationPage.commitAndCreatePrModal.errorTitle":"Beddel iyo samayska PR waa fashilmay","localConversationPage.commitAndCreatePrModal.successTitle":"La beddelay iyo PR la sameeyay","localConversationPage.commitAndPushModal.errorTitle":"Beddelka iyo riixidu way fashilantay","localConversationPage.commitAndPushModal.successTitle":"La beddelay iyo isbeddeladay la riixay","localConversationPage.commitCreatePr.open":"Fur qaabka maamulka codsiga","localConversationPage.commitCreatePr.successTitle":"PR lagu sameeyay isbeddeladaadii u dambeeyay","localConversationPage.createBranchButtonLabel":"Faraca halkan","localConversationPage.createPrModal.baseBranch":"Salka","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Abuur PR","localConversationPage.createPrModal.createDescription":"Fur codsiga beddelka ee isbeddeladaadii u dambeeyay.","localConversationPage.createPrModal.errorTitle":"Beddelka codsigu wuu fashilmay","localConversationPage.createPrModal.headBranch":"Madax","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Fur PR","localConversationPage.createPrModal.successTitle":"Codsiga isku darka waa la sameeyay","localConversationPage.createPrModal.title":"Arag codsiga jiidista","localConversationPage.createPrModal.viewDescription":"Codsiga isbeddelka hadda ka hor wuu jiraa waaxdan","localConversationPage.createPrModal.viewTitle":"Isbeddelka codsiga waa diyaar","localConversationPage.createPullRequestAuthGh":"Xaqiiji GitHub CLI: wad `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Macluumaadka faraca lama heli karo","localConversationPage.createPullRequestButtonLabel":"Abuur PR","localConversationPage.createPullRequestButtonLabel.loading":"Abuuraya PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Macluumaadka asalka ah ee faraca lama heli karo","localConversationPage.createPullRequestError":"Ku guul daraystay inuu sameeyo codsiga isku jirka ah","localConversationPage.createPullRequestExistingPullRequest":"Codsiga isbeddelka hadda ka hor wuu jiraa waaxdan.","localConversationPage.createPullRequestGhStatusMissing":"Soo saarida heerarka GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Ku shub GitHub CLI (gh) si loo sameeyo PR yada","localConversationPage.createPullRequestNoRepo":"Lama helin wax kaydka git ah","localConversationPage.createPullRequestPushStatusMissing":"Soo saaraya heerka natiijada...","localConversationPage.createPullRequestSetUpstream":"Beddel faracan ka hor samaynta PR.","localConversationPage.createPullRequestSuccessToast":"Codsiga isku darka waa la sameeyay","localConversationPage.createPullRequestSwitchBranch":"Beddel sifada faraca ka hor samaynta PR","localConversationPage.error.render":"Cilada soo saarida qoraalka xogta wada sheekaysiga","localConversationPage.error.toast":"Wada-sheekeysi lama helin","localConversationPage.forcePushError":"Ku guul dareystey inuu awood ku riixo","localConversationPage.generatePullRequestMessageError":"Ku guul daraystay soo saarista ciwaanka codsiga badelka iyo jirka","localConversationPage.generatePullRequestMessageFailed":"Ku guul daraystay soo saarista ciwaanka codsiga badelka iyo jirka.","localConversationPage.gitActionResult.branch":"Faraca","localConversationPage.gitActionResult.cancel":"Kansal","localConversationPage.gitActionResult.close":"Xidh","localConversationPage.gitActionResult.tryAgain":"Iskuday markale","localConversationPage.gitActions":"Falalka Git","localConversationPage.newChat":"Wada sheekeysi cusub","localConversationPage.openInTarget":"Ka fur","localConversationPage.openPrimaryTarget":"Fur","localConversationPage.planItemsCompleted":"{completedItems} ka baxsan {totalItems, plural, one {# hawsha la dhammaystiray} other {# hawlaha la dhammaystiray}}","localConversationPage.pushAuthError":"Riixida way fashilan: waa loo baahan yahay","localConversationPage.pushBranchMissing":"Macluumaadka faraca lama heli karo","localConversationPage.pushButtonLabel":"Riix","localConversationPage.pushButtonLabel.loading":"Riixaya...","localConversationPage.pushError":"Ku fashilmay dirida isbeddelada","localConversationPage.pushModal.branchLabel":"Faraca","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Kansal","localConversationPage.pushModal.confirm":"Riix","localConversationPage.pushModal.description":"U riix isbeddeladii u dambeeyaya kaydka fog.","localConversationPage.pushModal.errorTitle":"Riixidu way fashilantay","localConversationPage.pushModal.forcePush":"Riixid xoog ah","localConversationPage.pushModal.successTitle":"Riixidu way dhammaatay","localConversationPage.pushModal.title":"Riix isbeddelada","localConversationPage.pushModal.tryAgain":"Iskuday markale","localConversationPage.pushNoUpstream":"Ku xidh qayb fog ka hor riixida faracan","localConversationPage.pushNoUpstreamError":"Riixida way fashilan: kuma xidhna qaadista sare iyo hoos","localConversationPage.pushNothingToPush":"Ma jiro kayd cusub oo la beddelayo","localConversationPage.pushRemoteChangedError":"Riixida way fashilan: fogaantu waxay leedahay dirid cusub","localConversationPage.pushRemoteRejectedError":"Riixida waxaa lagu diiday fogaan","localConversationPage.pushStatusMissing":"Soo saaraya heerka natiijada...","localConversationPage.pushSuccessToast":"Isbeddelada la riixay","localConversationPage.viewPullRequestButtonLabel":"Arag PR","localConversationPage.viewPullRequestButtonLabel.loading":"Soo galayo codsiga pull…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fayl} other {# faylasha}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liiska} other {# Liisaska}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# raadin} other {# raadinta}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Sahaminaya","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Sahamiyay","localConversationTurn.exploration.accordion.header.complete.withCounts":"Sahamiyay {counts}","localConversationTurnStory.showContent":"Tusi tusmada","localConversationTurnStory.streamContent":"Tusmada baahinta","localConversationTurnStory.toggleReasoning":"Muuji sababta","localTaskRow.archiveError":"Ku guul daraystay kaydinta wada sheekaysiga","localTaskRow.resumeError":"Ku guul daaystay dib u bilaabida hawsha","mermaidDiagram.ariaLabel":"Shaxda Mermaid","mermaidDiagram.copySource":"Koobiyee mermaid","mermaidDiagram.originalCode":"Isha koodhka Mermaid","notifications.permissions.description":"Muuji digniinaha marka oggolaanshaha wargelinta loo baahan yahay","notifications.permissions.label":"Fur oggolaanshaha wargelinta","notifications.turnMode.always":"Had iyo jeer","notifications.turnMode.description":"Deji marka Codex ay kuu digto inay dhammaatay","notifications.turnMode.label":"U rog dhammaystirka wargelin","notifications.turnMode.off":"Marna","notifications.turnMode.unfocused":"Keliya marka aan xooga la saarin","patchApprovalRequest.approve":"Aansixin","patchApprovalRequest.menu.allowAlways":"Haa, oo ma waydiinaysid mar labbaad kullankan","patchApprovalRequest.menu.allowForSession":"Haa, oo ma waydiinaysid mar labbaad kullankan","patchApprovalRequest.menu.allowOnce":"Haa","patchApprovalRequest.prompt":"Ma doonaysaa inaad samayso isbeddeladan?","patchApprovalRequest.reject":"Maya","patchApprovalRequest.waitingForApproval":"Sugaya oggolaanshaha si wax looga beddelo faylasha","pendingRequest.approvalExec.collapse":"Dumi","pendingRequest.approvalExec.expand":"Ballaari","pendingRequestStory.toastAnswer":"Jawaab: {answer}","pendingRequestStory.toastApprovalTitle":"Jawaabta oggolaanshaha","pendingRequestStory.toastFollowupPrompt":"Dhakhso ah: {prompt}","pendingRequestStory.toastFollowupTitle":"La socodka la diray","pendingRequestStory.toastNoAnswers":"Jawaabo lama bixin","pendingRequestStory.toastQuestion":"Su’aal: {question}","pendingRequestStory.toastUnknownDecision":"La garaneyn","pendingRequestStory.toastUserInputTitle":"Jawaabaha la gudbiyay","quickAction.request.codeReview.branches.new":"Fadlan dib u eeg isbeddelada {from} ku lid ah {to}","quickAction.request.codeReview.uncommitted.new":"Fadlan dib u eeg isbeddelada aan la dirin","reasoningItem.thinking":"Ka-fakaraya","reasoningItem.thought":"Fikrad","reasoningItem.thoughtWithElapsed":"Ka fekeray {elapsed}","recentConversations.title":"Wada sheekaysiyo dhawaa","recentTasks.worktreeInitFailedTitle":"Worktree init fashilmay","recentTasks.worktreeSettingUpTitle":"Ku shubaya worktree","requestInputPanel.continue":"Sii wad","requestInputPanel.dismiss":"Iska dhaaf","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Teeb ku qor halkan","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Maya, oo u sheeg Codex waxa loo samaynayo si ka duwan","requestInputPanel.selectedBadge":"La doortay","requestInputPanel.skip":"Ka bood","requestInputPanel.submit":"Gudbi","review.commit.ariaLabel.includeUnstaged":"Ku dar kuwa aan diyaarsanayn","review.commit.buttonLabel":"Hawsha dirida","review.commit.disabled.committing":"Kaydinaya...","review.commit.disabled.loadingDiff":"Soo saaraya kala duwanaanshaha…","review.commit.disabled.missingContext":"Ku dar qeyb macnaha guud si aad u soo saartid fariin gaaban","review.commit.disabled.noChanges":"Wax isbeddelo ah lama kaydin","review.commit.disabled.noSelection":"Dooro isbeddelada si loo kaydiyo","review.commit.disabled.unavailable":"Kaydinta isbeddelka lama heli karo hadda","review.commit.error":"Ku guul daraystay dirida isbeddelada","review.commit.form.changesToBeCommitted":"Isbeddelada","review.commit.form.commitTo":"Faraca","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Sii wad","review.commit.form.title":"Kaydi isbeddeladaada","review.commit.generate.emptyResponse":"Soo saari kari waayay fariinta gaaban.","review.commit.generate.failed":"Ku guul daraystay soo saarida fariin gaaban: {error}","review.commit.generate.missingPrompt":"Ku dar qayb macnaha guud si aad u soo saartid fariin gaaban.","review.commit.includeUnstaged":"Ku dar kuwa aan diyaarsanayn","review.commit.loading.description":"Samir yeelo, tani waxay qaadan kartaa dhowr daqiiqo","review.commit.loading.step.commit.done":"Isbeddelada aan la kaydin","review.commit.loading.step.commit.pending":"Kaydinaya isbeddelada","review.commit.loading.step.createPr.done":"Sameeyay codsiga beddelka","review.commit.loading.step.createPr.pending":"Samaynaya codsiga isbeddelka","review.commit.loading.step.push.done":"Ku riixay faraca {branch}","review.commit.loading.step.push.pending":"Ku riixay faraca {branch}","review.commit.loading.title.commit":"Kaydinaya isbeddelada","review.commit.loading.title.createPr":"Samaynta PR","review.commit.loading.title.push":"Riixida isbeddelada","review.commit.messageLabel":"Fariinta hawl dirida","review.commit.messagePlaceholder":"Ha banaanaato si otomaatiga loogu soo saaro fariinta kaydka.","review.commit.nextSteps":"Tallaabada xigta:","review.commit.nextSteps.commit":"Hawsha dirida","review.commit.nextSteps.commitAndCreate":"Beddel oo samee PR","review.commit.nextSteps.commitAndPush":"Beddelka iyo riixida","review.commit.nextSteps.prRequiresGh":"U baahan GitHub CLI: {command}","review.commit.rows.changes":"Isbeddelada","review.commit.rows.commitCount":"{count, plural, one {# isbadelka} other {# isbadelada}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# isbadelka} other {# isbadelada}} iyo {stats}","review.commit.rows.fileCount":"{count, plural, one {# fayl} other {# faylasha}}","review.commit.state.error.body":"Waxbaa khaldamay marka la kaydinayay. Hubi xaaladaada git oo isku day mar labbaad.","review.commit.state.error.title":"Kaydinta way fashilantay","review.commit.state.success.title":"Isbeddelada la kaydiyay","review.commit.untracked.loadingStats":"Soo saaraya heerarka tirakoobka kala duwan ee aan la raad raacin...","reviewFindingAttachments.count":"{count, plural, one {# natiijada} other {# natiijooyinka}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Wax ka beddel ku xidhidaada si aad caadi uga dhigto dhaqanka wakiilka","settings.agent.configuration.configToml.docs":"Dhokumentiyada","settings.agent.configuration.configToml.restartNote":"Dib u bilow Codex ka dib wax ka beddelka si loo adeegsado isbeddelada","settings.agent.configuration.subtitle":"Setinkan waxa uu ku habboon yahay meel kasta oo Codex lagu isticmaalo.","settings.automations.banner.danger":"Otomaatigu waxa uu ku socdaa setinkaaga asalka ah ee goobta tijaabinta, kuwaad oo hadda loo dejiyay Gelida Buuxda. Socodka, otomaatiga muuqaalka dambe ee wata Gelida Buuxda waxay gashaa khatar sare, marka Codex wax ka beddeli karto faylasha, wado amarada, oo gasho shabakada iyaddoon waydiisan. Ka feker cusboonaysiinta setinka goobta tijaabina goobta shaqo qorto, iyo isticmaalaysa <rulesDocsLink>sharciyada</rulesDocsLink> si qaab doorosho leh loogu qeexo amarada wakiilka ee ku socon kara gelida buuxda.","settings.automations.banner.defaultHowTo.default":"Otomaatigu waxa uu ku socdaa setinkaaga asalka ah ee goobta tijaabinta. Wadista aaladaha waxay fashilmi doonaan haddii ay u baahdaan hagaajinta faylasha dibada goobta shaqo, gelida shabakada, ama ku shaqaynta ababka kombuyutarkaaga. Waxaad si xulasho leh u oggolaataaliiska amarada inuu ka socda dibada goobta tijaabidan addoo isticmaalaya <rulesDocsLink>sharciyada</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Otomaatigu waxa uu ku socdaa setinkaaga asalka ah ee goobta tijaabinta, kuwaas oo la sameeyay akhris keliya. Wadista aaladaha waxay fashilmi doonaan haddii ay u baahdaan hagaajinta faylasha, gelida shabakada, ama ku shaqaynta ababka kombuyutarkaaga. Ka feker cusboonaysiinta setinka goobta tijaabada qorida goobta shaqada.","settings.automations.cancel":"Kansal","settings.automations.create":"Abuur","settings.automations.cwdEmpty":"Ma jiraan faylalka mashruucyada oo la heli karo","settings.automations.cwdLabel":"Mashruucyada","settings.automations.cwdPlaceholder":"Dooro faylka","settings.automations.cwdSubtitle":"Haddii aad doonayso otomaatigu inuu ka socdo farac gaar ah, waxaad caddayn kartaa iyada gudaha ishaaradaada.","settings.automations.delete":"Tirtir","settings.automations.dialog.editTitle":"Wax ka beddel qaabka otomaatiga ah","settings.automations.dialog.newTitle":"Qaab otomaatig ah oo cusub","settings.automations.dialog.subtitle":"Otomaatiga hawlaha soo noqnoqda gudaha muuqaalka dambe. Codex waxay ku dartaa helida gudaha bogoska, ama si otomaatiga ah u kaydisa hawsha haddii aanay jirin waxba laga warbixiyo. <learnMoreLink>Wax badan baro</learnMoreLink>","settings.automations.dialog.title":"Samee qaab otomaatig","settings.automations.executionCopy.git":"Otomaatiga ka socda muuqaalka dambe ee worktree yada loogu talo galay.","settings.automations.executionCopy.nonGit":"Otomaatiga mashruucayada noocyada aan ahayn ee la maamulo oo toos loo wado gudaha diiwaanka. Ka feker isticmaalka Git si loo furo worktree yada muuqaalka dambe.","settings.automations.executionEnvironment.local":"Maxali ah","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Soo-rarmaya…","settings.automations.nameLabel":"Magac","settings.automations.namePlaceholder":"Hubi arrimaha ilaalada","settings.automations.pause":"Joojin","settings.automations.promptLabel":"Dhakhso ah","settings.automations.promptPlaceholder":"raadi burburka $Sentry","settings.automations.resume":"Dib u bilow","settings.automations.rruleSummaryFallback":"Jadwalka caadiga ah","settings.automations.runNow":"Tijaabo","settings.automations.save":"Kaydi","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"Maalmaha todobaadka","settings.automations.scheduleBadge.weekends":"Dhammaadka todobaadka","settings.automations.scheduleHeader":"Jadwal","settings.automations.scheduleHours":"saacadood","settings.automations.scheduleLabel":"Wad mid kasta","settings.automations.scheduleMode.daily":"Maalinle","settings.automations.scheduleMode.interval":"Wakhtiga u dhexeeya","settings.automations.scheduleModeLabel":"Qorshee nooca","settings.automations.scheduleSummary.daily":"Maalinle xaga {time}","settings.automations.scheduleSummary.interval":"Mid kasta {count}h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# maalin} other {# maalmood}}","settings.automations.scheduleSummary.intervalDays":"{interval} daaran {days}","settings.automations.scheduleSummary.intervalHourly":"Saacadle","settings.automations.scheduleSummary.singleDay":"{day} xaga {time}","settings.automations.scheduleSummary.weekdays":"Maalmaha todobaadka xaga {time}","settings.automations.scheduleSummary.weekdaysLabel":"Maalmaha todobaadka","settings.automations.scheduleSummary.weekends":"Dhammaadka todobaadka xaga {time}","settings.automations.scheduleSummary.weekendsLabel":"dhammaadka todobaadka","settings.automations.scheduleSummary.weekly":"{days} xaga {time}","settings.automations.scheduleWeekdays":"Shid","settings.automations.weekdayState.excluded":"Laga saaray","settings.automations.weekdayState.included":"Lagu daray","settings.conversationDetail.steps":"Tallaabooyinka","settings.conversationDetail.steps.description":"Qari amarada iyo soo saarida","settings.conversationDetail.stepsWithCommands":"Tallaabooyinka leh amarada koodhka","settings.conversationDetail.stepsWithCommands.description":"Tus amarada, qari natiijooyinka","settings.conversationDetail.stepsWithOutput":"Tallaabooyinka leh soo saarida amarada","settings.conversationDetail.stepsWithOutput.description":"Tus amarada oo ballaadhi soo saarida","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ma lihid Sheekeysiga la kaydiyey.","settings.dataControls.archivedChats.error":"Ma soo rari karin wada sheekaysiyada la kaydiyay","settings.dataControls.archivedChats.loading":"Soo gelinaya wada sheekeysiga la kaydiyey gudaha ...","settings.dataControls.archivedChats.unarchive":"Kaydka ka saar","settings.dataControls.archivedChats.unarchiveError":"Ku fashilmay wada sheekaysiga aan la kaydin","settings.dataControls.archivedChats.unarchiveSuccess":"Fariimaha taxanaha aan la kaydin. <viewNowLink>Hadda arag</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Fariimaha taxanaha aan la kaydin.","settings.dataControls.archivedChats.untitled":"Wada sheekaysiga aan cinwaanka lahayn","settings.dataControls.archivedChats.viewNow":"Arag hadda","settings.editRow.headerPlaceholder":"Furaha","settings.editRow.removeEntry":"Ka saar diiwaanka","settings.editRow.valuePlaceholder":"Qiimaha","settings.general.appearance":"Muuqaalka","settings.general.appearance.codeFont":"Qoraalka xarfaha koodhka:","settings.general.appearance.codeFont.description":"Ku habbee qoraalka xarfaha iyo cabirka loo isticmaalo koodhka dhammaan wada sheekaysiyada iyo kala duwanaanshaha","settings.general.appearance.codeFontFamily":"Koodhka qoyska qoraalka xarfaha","settings.general.appearance.codeFontSize":"Koodhka cabirka qoraalka xarfaha","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Ka dhig shaashadaha kuwa midab ka buuxo beddelka nidaamka midabka laga dhex arkayo","settings.general.appearance.opaqueWindows.label":"Fur shaashada muuqaalka dambe ee aan waxba ka muuqan","settings.general.appearance.sansFontFamily":"Iskaan saar qoyska qoraalka xarfaha","settings.general.appearance.sansFontFamily.description":"Ku habee qoraalka xarfaha la isticmaalay Codex UI","settings.general.appearance.sansFontSize":"Sans cabirka qoraalka xarfaha","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Tus shaashada buuxda ee saamaynta dabaal dega marka GPT-5.3-Codex-Spark ay socoto marka koowaad","settings.general.appearance.sparkCelebrationEffects.label":"Dhali saamaynta dagaal dega","settings.general.appearance.theme":"Muuqa","settings.general.appearance.theme.dark":"Mugdi","settings.general.appearance.theme.description":"Isticmaal nal, madow, ama ku habboonaysii nidaamkaaga","settings.general.appearance.theme.light":"Iftiin","settings.general.appearance.theme.system":"Nidaamka","settings.general.appearance.usePointerCursors.description":"Beddel keersarka tilmaamaha marka la dul saaro walxaha la is dhaafsado","settings.general.appearance.usePointerCursors.label":"Isticmaal keertsar tilmaamaha","settings.general.enterBehavior.description":"Marka la furo, tilmaamo layman badan ayaa u baahan {modifierSymbol} + geli si loo diro.","settings.general.enterBehavior.label":"U baahan {modifierSymbol} +geli si loo diro tilmaamaha dheer","settings.general.experimentalFeatures":"Sifooyinka tijaabada ah (Beta)","settings.general.experimentalFeatures.empty":"Ma jraan sifooyinka tijaabada beta oo la heli karo.","settings.general.experimentalFeatures.loading":"Soo saaraya sifooyinka tijaabada ah...","settings.general.experimentalFeatures.restartNote":"Dib u bilow Codex si loo adeegsado isbeddelada sifada tijaabada ah","settings.general.experimentalFeatures.toggle":"Beddel {featureName}","settings.general.followUpQueueMode.description":"La socodka safka marka Codex ay socoto ama jihee wadista hadda. Cadaadi {invertFollowUpShortcutLabel} si loo sameeyo mid ku lid ah hal fariin.","settings.general.followUpQueueMode.interrupt":"Hagid","settings.general.followUpQueueMode.label":"Dhaqanka la socodka","settings.general.followUpQueueMode.queue":"Saf gal","settings.general.notifications":"Wargelin","settings.general.power.preventSleepWhileRunning.description":"Kombuyuutarkaaga ha muuqdo marka Codex ay ka socota qaybta fariimaha.","settings.general.power.preventSleepWhileRunning.label":"Ka hortag seexashada marka uu socdo","settings.git.branchPrefix.ariaLabel":"Erayga ka horeeya faraca","settings.git.branchPrefix.description":"Erayga horeeya marka la samaynayo faracyada cusub gudaha Codex","settings.git.branchPrefix.label":"Erayga ka horeeya faraca","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Ku fashilmay kaydinta erayga ka horeeya faraca","settings.git.branchPrefix.save.success":"Kaydiyay erayga ka horeeya faraca","settings.git.commitInstructions.ariaLabel":"Tilmaamaha kaydinta","settings.git.commitInstructions.description":"Lagu daray fariinta gaaban ee tilmaamaha soo saarida","settings.git.commitInstructions.label":"Tilmaamaha kaydinta","settings.git.commitInstructions.placeholder":"Ku dar hagitaanka fariinta gaaban...","settings.git.commitInstructions.save":"Kaydi","settings.git.commitInstructions.save.error":"Ku guul daraystay kaydinta tilmaamaha kaydinta","settings.git.commitInstructions.save.success":"Kaydi tilmaamaha kaydinta","settings.git.forcePush.ariaLabel":"Had iyo jeer xoog ku riix","settings.git.forcePush.description":"isticmaal -- force-with-lease marka lagu soo gelinayo Codex","settings.git.forcePush.label":"Had iyo jeer xoog ku riix","settings.git.forcePush.save.disabled":"Had iyo jeer xoog ku riix waa la xidhay","settings.git.forcePush.save.enabled":"Had iyo jeer xoog ku riix waa la furay","settings.git.forcePush.save.error":"Ku guul daraystay kaydinta setinka xoog ku riixida","settings.git.prInstructions.ariaLabel":"Tilmaamaha gudbinta badelada","settings.git.prInstructions.description":"Lagu daray dhammaadka codsiga badelka ee ay abuurtay Codex","settings.git.prInstructions.label":"Tilmaamaha gudbinta badelada","settings.git.prInstructions.placeholder":"Ku dar tilmaanta codsiga badelka...","settings.git.prInstructions.save":"Kaydi","settings.git.prInstructions.save.error":"Ku fashilmay kaydinta tilmaamaha codsiga badelka","settings.git.prInstructions.save.success":"Kaydiyay tilmaamaha codsiga badelka","settings.ide.defaultOpenTarget.description":"Halka faylasha iyo galaka ay asal ahaan furmaan","settings.ide.defaultOpenTarget.label":"Goobta furida asalka ah","settings.ide.defaultOpenTarget.placeholder":"Lama helin wax yoolal ah","settings.ide.language.auto":"Dareemid-otomaatik ah","settings.ide.language.autoOption":"Dareemid-otomaatik ah","settings.ide.language.description":"Luqadda abka UI","settings.ide.language.label":"Luuqada","settings.ide.language.search":"Raadi luqaddaha","settings.layout.actionButton":"Dib u bilow kordhinta","settings.layout.actionTitle":"Setinka leh fal","settings.layout.fullWidthTitle":"Setinka (Baladhka buuxa)","settings.layout.title":"Habeynta","settings.localEnvironments.actions.add":"Ku dar tallaabooyin","settings.localEnvironments.actions.add.description":"Samee amar cusub si looga wado tuulbaarka.","settings.localEnvironments.actions.add.save":"Kaydi","settings.localEnvironments.actions.empty":"Ku dar fal si loo wado amarada ka yimid batanada qalabka.","settings.localEnvironments.actions.icon.debug":"Cillad-bixi","settings.localEnvironments.actions.icon.run":"Socod sii","settings.localEnvironments.actions.icon.test":"Tijaabo","settings.localEnvironments.actions.icon.tool":"Aalada","settings.localEnvironments.actions.item.button.delete":"Tirtir","settings.localEnvironments.actions.item.command":"Falka amarada qoran","settings.localEnvironments.actions.item.name":"Magac","settings.localEnvironments.actions.item.platforms":"Degelada","settings.localEnvironments.actions.item.platforms.help":"Keliya wad OS gaarka ah.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Xulashada degelka","settings.localEnvironments.actions.item.platforms.specific":"Waxyaabaha degelka u gaar ah","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Tirtir","settings.localEnvironments.actions.title":"Ficilada","settings.localEnvironments.breadcrumb.back":"Laabo","settings.localEnvironments.breadcrumb.edit":"tifatir","settings.localEnvironments.breadcrumb.root":"Deegaanada","settings.localEnvironments.environment.actions.description":"Falalkan waxay socon karaa amar kasta oo waxay ka muuqan doonaan cinwaanka.","settings.localEnvironments.environment.actionsLabel":"Ficilada","settings.localEnvironments.environment.create":"Samee deegaanka gudaha","settings.localEnvironments.environment.defaultName":"Maxali ah","settings.localEnvironments.environment.edit":"Wax ka beddel deegaanka gudaha","settings.localEnvironments.environment.empty":"Ma jiro deegaan gudaha ah oo lagu xidhay mashruuca weli.","settings.localEnvironments.environment.name":"Magac","settings.localEnvironments.environment.setup":"Samee qoraalka","settings.localEnvironments.environment.setup.description":"Amarkab qoran waxay ka socon doontaa samaynta worktree.","settings.localEnvironments.environment.setup.hint":"Ka socda barta mashruuca.","settings.localEnvironments.environment.setup.platformOverrides":"Isbeddelada degelka","settings.localEnvironments.environment.setup.platformOverrides.add":"Ku dar{platform} ku shubida fariimaha qoran","settings.localEnvironments.environment.setup.platformOverrides.description":"Isbeddelka qoraalka asalka eh ee OSes gaarka ah.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Ka saar","settings.localEnvironments.environment.setup.script":"Qoraalka","settings.localEnvironments.environment.title":"Faahfaahinta deegaanka","settings.localEnvironments.file.missing":"Kaydi si loo sameeyo faylkan wakhtigii koowaad.","settings.localEnvironments.file.parseError":"Aan awoodin akhriska faylka jira. Kaydinta ayaa beddeli doonta. ({error}).","settings.localEnvironments.file.path":"Faylka: {path}","settings.localEnvironments.file.readError":"Ku guul daraystay soo saarida xogta deegaanka gudaha. ({error})","settings.localEnvironments.file.title":"Faylka deegaanka gudaha","settings.localEnvironments.loading.body":"Keenida ku xidhida mashruucaaga.","settings.localEnvironments.loading.title":"Soo saarida nidaamka deegaanka gudaha","settings.localEnvironments.preview.devOnly":"(DEV keliya)","settings.localEnvironments.preview.save":"Kaydi","settings.localEnvironments.preview.saveError":"Ku fashilmay kaydinta faylka. ({error})","settings.localEnvironments.preview.title":"Hore-u-eeg","settings.localEnvironments.save.disabled.name":"Ku dar magaca deegaanka si loo kaydiyo.","settings.localEnvironments.save.disabled.noChanges":"Ma jiraan isbeddelo la kaydinayo.","settings.localEnvironments.save.disabled.saving":"Kaydinaya...","settings.localEnvironments.save.success":"Kaydiyay nidaamka deegaanka gudaha","settings.localEnvironments.unavailable.body":"Waanu soo saari kari waynay setinka nidaamyada deegaanka ee mashruuca.","settings.localEnvironments.unavailable.title":"Nidaamyada deegaanka gudaha lama heli karo","settings.localEnvironments.workspace.add":"Ku dar Mashruuca","settings.localEnvironments.workspace.title":"Mashruuca","settings.localEnvironments.workspaceSelect.addLabel":"Ku dar nidaamka deegaanka","settings.localEnvironments.workspaceSelect.description":"Deegaanada maxaliga waxay sheegaan Codex sida loogu shubo worktree yada mashruuca.{learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ma jiraan mashruucyo weli. Ku dar hal si loogu xidho nidaamyada deegnka gudaha.","settings.localEnvironments.workspaceSelect.errorLabel":"Nidamaka deegaanka dareenka u baahan","settings.localEnvironments.workspaceSelect.learnMore":"Wax badan ka baro","settings.localEnvironments.workspaceSelect.listLabel":"Mashruucayada la heli karo","settings.localEnvironments.workspaceSelect.loading":"Soo saaraya mashruucyada.","settings.localEnvironments.workspaceSelect.loadingLabel":"Khaladka soo saarida deegaanka","settings.localEnvironments.workspaceSelect.title":"Dooro mashruuca","settings.localEnvironments.workspaceSelect.viewAction":"Eeg","settings.mcp.addServer":"Ku dar serferka","settings.mcp.app.configure":"Habee","settings.mcp.app.connect":"Ku-xir","settings.mcp.apps.refresh":"Dib-u-kici galida","settings.mcp.detail.addArgument":"Ku dar dooda","settings.mcp.detail.addEnvVar":"Ku dar kala duwanaanshaha deegaanka","settings.mcp.detail.addEnvVarPassthrough":"Ku dar kala duwanaanshaha","settings.mcp.detail.args":"Doodaha","settings.mcp.detail.back":"Laabo","settings.mcp.detail.command":"Amar si loo bilaabo","settings.mcp.detail.cwd":"Diiwaanka shaqaynaya","settings.mcp.detail.docs":"Fur caddaynrta MCP","settings.mcp.detail.docs.link":"Dhokumentiyada","settings.mcp.detail.envVarPassthrough":"Kala duwanaanshaha dhaafida deegaanka","settings.mcp.detail.envVars":"Kala duwanaanshaha deegaanka","settings.mcp.detail.http.addEnvHeader":"Ku dar kala duwanaanshaha","settings.mcp.detail.http.addHeader":"Ku dar cinwaanka","settings.mcp.detail.http.bearerToken":"Calaamad sidaha deegaanka kala duwan","settings.mcp.detail.http.envHeaders":"Cinwaanada kala duwanaanshaha deegaanka","settings.mcp.detail.http.headers":"Cinwaanada","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Magac","settings.mcp.detail.save":"Kaydi","settings.mcp.detail.switchTransportNotice":"Haddii aad jeclaan lahayd inaad u beddesho nooca serferka, fadlan ka tuur marka koowaad.","settings.mcp.detail.titleExisting":"Cusboonaysii {name} MCP","settings.mcp.detail.titleNew":"Ku xidh MCP caadiga ah","settings.mcp.detail.transport.http":"Daata ku dirida HTTP","settings.mcp.detail.transport.stdio":"ISTUUDYO","settings.mcp.detail.uninstall":"Ka tuur","settings.mcp.empty":"Ma jiraan serferada MCP oo ku xidhan","settings.mcp.myServers":"Serferada caadiga ah","settings.mcp.partnerServer.description.figma":"Soo saar koodh ka sii fiican addoo keeniya gudaha xaalada Figma.","settings.mcp.partnerServer.description.github":"Ku dhaf GitHub APIs si otomaatig looga dhigo socodka shaqada oo soo qaad xogta.","settings.mcp.partnerServer.description.linear":"Ku dhaf arrimaha Linear ee raad racaya iyo maamulka mashruuca.","settings.mcp.partnerServer.description.notion":"Akhri dhokumentiyada, cusboonaysii boggaga, maaree hawlaha.","settings.mcp.partnerServer.description.playwright":"Ku dhaf barowsarka otomaatiga si loo hirgeliyo nashqad iyo tijaabada UI.","settings.mcp.partnerServer.install":"Ku shub","settings.mcp.partnerServer.installAndAuthenticate":"Ku shub oo xaqiiji","settings.mcp.partnerServer.logoAlt":"{label} cusub","settings.mcp.partnerServer.manage":"Maaree","settings.mcp.partnerServer.vendor":"ee {vendor}","settings.mcp.recommendedServers":"Serferada lagu taliyay","settings.mcp.restartApp":"Dib-u-bilaw","settings.mcp.restartExtension":"Dib u bilow kordhinta","settings.mcp.server.enable":"Fur","settings.mcp.server.login":"Ansixi","settings.mcp.server.settings":"Habeynta","settings.multiselect.createOption":'Samee "{value}"',"settings.multiselect.removeOption":"Ka saar","settings.nav.account":"Koonto","settings.nav.agent":"Qaabeyn","settings.nav.ariaLabel":"Habeynta","settings.nav.back":"Ku laabo abka","settings.nav.data-controls":"Fariimaha taxanaha la kaydiyay","settings.nav.environments":"Barnaamijka deegaanka Cloud","settings.nav.externalTooltip":"[alpha] Fura barowsarka","settings.nav.general-settings":"Guud ahaan","settings.nav.git-settings":"Git","settings.nav.local-environments":"Deegaanada","settings.nav.mcp-settings":"Serfarada MCP","settings.nav.notImplemented":"[alpha] Lagama heli karo Alpha","settings.nav.personalization":"Shakhsiyeyn","settings.nav.skills-settings":"Xirfadaha","settings.nav.usage-analytics":"Isticmaalka & Faaqidaada","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Laabo","settings.openSourceLicenses.loading":"Soo-rarmaya…","settings.openSourceLicenses.missing":"Lama helin ogaysiiyada kooxda saddexaad.","settings.openSourceLicenses.notSupported":"Lagama heli karo gudaha serferkan.","settings.openSourceLicenses.rowDescription":"Ogaysiiyada kooxda saddexaad ee ku tiirsanaanta badan","settings.openSourceLicenses.rowLabel":"Shatiyaasha ilaha furan","settings.openSourceLicenses.subtitle":"Ogaysiisyada kooxda saddexaad ee ku tiirsanaanta lagu daray abkan.","settings.openSourceLicenses.title":"Shatiyaasha ilaha furan","settings.openSourceLicenses.view":"Eeg","settings.personalization.agents.description":"Wax ka beddel tilmaamaha ku habboon Codex adiga. {learnMore}","settings.personalization.agents.learnMore":"Wax badan ka baro","settings.personalization.agents.loadError":"Aan awoodin soo saarida wakiilada.md.","settings.personalization.agents.loading":"Soo saarida wakiilada.md…","settings.personalization.agents.placeholder":"Ku dar tilmaamahaaga caadiga ah…","settings.personalization.agents.retry":"Dib isugu day","settings.personalization.agents.save":"Kaydi","settings.personalization.agents.save.error":"Aan awoodin kaydinta wakiilada.md","settings.personalization.agents.save.success":"Wakiilada la kaydiyay.md","settings.personalization.agents.title":"Tilmaamaha shakhsiyeysan","settings.personalization.personality.description":"Dooro qaabka asalka ah ee jawaabaha Codex","settings.personalization.personality.label":"Shakhsiyada","settings.sample.contentBody":"Isticmaal nashqadan si loogu sameeyo qaybaha setinkaaga meelo banaan oo waafaqsan.","settings.sample.contentTitle":"Lakabka macluumaadka muunada ah","settings.section.account":"Koonto","settings.section.agent":"Qaabeyn","settings.section.data-controls":"Fariimaha taxanaha la kaydiyay","settings.section.environments":"Barnaamijka deegaanka Cloud","settings.section.external":"Ka furmaya gudaha barowsarkaaga muddada Alpha","settings.section.general-settings":"Guud ahaan","settings.section.git-settings":"Git","settings.section.local-environments":"Deegaanada","settings.section.mcp-settings":"Serfarada MCP","settings.section.mcp-settings.docs":"Dhokumentiyada","settings.section.mcp-settings.subtitle":"Ku xidh aalada dibada iyo ilaha xogta.","settings.section.personalization":"Shakhsiyeyn","settings.section.skills-settings":"Xirfadaha","settings.section.unavailable":"Lagama heli karo gudaha Alpha weli","settings.section.usage-analytics":"Isticmaalka & Faaqidaada","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"Door inta ay tahay soo saarida amarka si loo muujiyo qaybaha.","settings.threadDetail.label":"Faahfaahinta qaybta","settings.worktrees.conversation.untitled":"Wada sheekaysiga aan cinwaa lahayn","settings.worktrees.delete.error":"Ku guul daraystay in la tirtiro worktree","settings.worktrees.empty.body":"Worktree yada uu sameeyay Codex waxay ka muuqan doontaa halkan.","settings.worktrees.empty.title":"Ma jiraan worktree","settings.worktrees.error.body":"Waxbaa khaldamay markii la soo saarayay worktree yada.","settings.worktrees.error.retry":"Dib isugu day","settings.worktrees.error.title":"Aan awoodin soo saarida diiwaanada worktree","settings.worktrees.loading.body":"Keenaya faahfaahinta worktree","settings.worktrees.loading.title":"Soo saaraya worktree yada","settings.worktrees.repository.loading":"Soo saaraya kaydka metadata…","settings.worktrees.repository.unknown":"Kaydka aan la garanayn","settings.worktrees.row.conversations":"Wada-sheekeysiyo","settings.worktrees.row.conversations.empty":"Ma jiro wada sheekaysi ku xidhan diiwaankan worktree.","settings.worktrees.row.conversations.loading":"Soo saaraya wada sheekaysiyada...","settings.worktrees.row.delete":"Tirtir","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Ku dar mashruuc cusub","sidebarElectron.archiveThread":"Si qarsoon u kaydi","sidebarElectron.archiveThreadError":"Ay fashilantay in la kaydiyo liidka","sidebarElectron.collapseFolder":"Tuur faylka","sidebarElectron.createStableWorktree.dialog.cancel":"Kansal","sidebarElectron.createStableWorktree.dialog.create":"Abuur","sidebarElectron.debugNavLink":"Cillad-bixi","sidebarElectron.editWorkspaceRootOptionName":"Tifatir magac","sidebarElectron.expandFolder":"Ballaadhi faylka","sidebarElectron.groupByMenu.recency":"Kala horaynta liiska","sidebarElectron.groupByMenu.title":"Abaabul","sidebarElectron.groupByMenu.workspace":"Mashruuc ahaan","sidebarElectron.inboxRouteNavLink":"Otomaatiga","sidebarElectron.markThreadUnread":"U calamadee sidoon la akhriyin","sidebarElectron.missingWorkspaceRoot":"Faylka mashruucan waa la tirtiray ama waa la dhaqaajiyay.","sidebarElectron.newThread":"Qaybta cusub","sidebarElectron.newThreadInGroup":"Ka bilow qaybta cusub gudaha {folder}","sidebarElectron.noRecentThreads":"Ma jiraan qaybaha faallooyinka ee dhawaa","sidebarElectron.noTasks":"Wada sheekaysiyo ma jiraan","sidebarElectron.noTasks.start":"Ku dar mashruuc cusub","sidebarElectron.noTasksWithFilter":"Ma jiro wada sheekaysiyo ku habboon filtarada","sidebarElectron.pinnedThreads":"Wada sheekaysiyada la muujiyay","sidebarElectron.recentNavLink":"Qaybaha","sidebarElectron.recentThreads":"Qaybihii dhawaa ee faallooyinka","sidebarElectron.removeWorkspaceRootOption":"Ka saar","sidebarElectron.renameThread":"Ka saar dib u magacaabida magaca wada sheekaysiga","sidebarElectron.renameThreadDialogAriaLabel":"Cinwaanka magaca wada sheekaysiga","sidebarElectron.renameThreadDialogCancel":"Kansal","sidebarElectron.renameThreadDialogPlaceholder":"Ku dar cinwaanka…","sidebarElectron.renameThreadDialogSave":"Kaydi","sidebarElectron.renameThreadDialogSubtitle":"Soo gaabi oo aqoonso","sidebarElectron.renameThreadDialogTitle":"Ka saar dib u magacaabida magaca wada sheekaysiga","sidebarElectron.renameThreadError":"Ku guul daraystay dib u magcaabida magaca wada sheekaysiga","sidebarElectron.renameWorkspaceRootOptionLabel":"Soo bandhig magaca","sidebarElectron.showLess":"Muuji waxyar","sidebarElectron.showMenu.all":"Dhammaan fariima kooxeedka","sidebarElectron.showMenu.relevant":":La xidhiidha","sidebarElectron.showMenu.relevantHint":"Keli muuji qaybaha dhawaan ee faraca hadda, worktee yada, ama qaybaha kale ee u baahan dareenka in loo soo jeediyo","sidebarElectron.showMenu.title":"Muuji","sidebarElectron.showMenu.tooltip":"Shaandhee, kala saar, oo abaabul qaybaha wada sheekaysiyada","sidebarElectron.showMenu.trigger":"Xulo dhinaca wada sheekaysiyada","sidebarElectron.showMore":"Waxbadan muuji","sidebarElectron.skillsRouteNavLink":"Xirfadaha","sidebarElectron.sortMenu.created":"La-abuurey","sidebarElectron.sortMenu.title":"Ku kala saar","sidebarElectron.sortMenu.updated":"La cusbooneysiiyey","sidebarElectron.taskNavigation":"Faylasha otomaatiga ah","sidebarElectron.tasksInFolder":"Otomaatiga gudaha {folder}","sidebarElectron.workspaceOptions":"Tallaabooyinka mashruuca ee {folder}","sidebarElectron.worktreeGroupTooltip":"Tani waa git worktree","skills.appsPage.createSkill":"Xirfad cusub","skills.appsPage.empty.skills":"Wax xirfad ah lama helin","skills.appsPage.search.skills":"Raadi xirfadaha","skills.appsPage.search.skills.label":"Raadi xirfadaha","skills.appsPage.section.installedApps":"Lagu shubay","skills.appsPage.section.skills":"Xirfadaha","skills.appsPage.subheading":"Sii awood badan Codex<link>Wax badan ka baro</link>","skills.appsPage.tab.recommended":"Lagu taliyay","skills.appsPage.tab.skills":"Xirfadaha","skills.card.contentsError":"Aan awoodin soo saarida macluumaadka xirfada.","skills.card.disable":"Xir","skills.card.disableSuccess":"{skillName} xirfada waa la xidhay.","skills.card.disabledBadge":"La xidhay","skills.card.enable":"Fur","skills.card.enableSuccess":"{skillName} xirfada waa la furay","skills.card.loadingContents":"Soo saaraya waxay ka kooban tahay xirfadaha...","skills.card.more":"Tallaabooyin badan","skills.card.open":"Fur","skills.card.removeFailed":"Ku guul daraystay in laga tuuro xirfada","skills.card.removeSuccess":"{skillName} xirfada waa laga tuuray","skills.card.toggleEnabledError":"Ku guul daraystay cusbooneysiinta xirfada","skills.card.try":"Isku day","skills.card.trySkill":"Isku day xirfad","skills.card.uninstall":"Ka tuur","skills.hero.dotLabel":"Booqo bogga {index}","skills.hero.next":"Xirfadaha xiga ee la sifeeyay","skills.hero.trySkill":"Isku day xirfad","skills.page.createSkill":"Xirfad cusub","skills.page.empty":"Wax xirfad ah lama helin","skills.page.filteredEmpty":"Ma jiraa xirfado ku habboon filtaradaada","skills.page.filteredEmptyDescription":"Isku day ku habbaynta raadintaada ama baaxada filtarada","skills.page.heading":"Xirfadaha","skills.page.loading":"Soo saaraya xirfadaha...","skills.page.refreshSkills":"Dib-u-kici galida","skills.page.refreshSkillsToUseNew":"Soo kici si loo isticmaalo xirfada(ha) cusub","skills.page.search":"Raadi xirfadaha","skills.page.search.label":"Raadi xirfadaha","skills.page.subheading":"Sii awood badan Codex<link>Wax badan ka baro</link>","skills.preview.copyPrompt":"Koobiyee tilmaanta","skills.preview.examplePrompt":"Tusaalaha soo boodista","skills.recommended.error":"Aan awoodin soo gelinta xirfadaha lagu taliyay","skills.recommended.install":"Ku shub","skills.recommended.installSkill":"Ku shub xirfada","skills.recommended.installSuccess":"{skillName}xirfada waa lagu shubay","skills.recommended.installed":"Lagu shubay","skills.scope.admin":"Maamul","skills.scope.adminInstalled":"Maamulka lagu shubay","skills.scope.builtIn":"Nidaamka","skills.scope.personal":"Shakhsi ah","skills.scope.repo":"Kaydka","skills.scope.system":"Nidaamka","skills.scope.team":"Team","skills.scope.user":"Isticmaale","skills.section.installed":"Lagu shubay","skills.section.recommended":"Lagu taliyay","story.slidingToggle.existing":"Jira","story.slidingToggle.fromLocal":"Ka yimid gudaha","story.slidingToggle.new":"Cusub","story.slidingToggle.toLocal":"Ku socda gudaha","terminal.close":"Xidh bixida","terminal.title":"Dhammaadka","thinkingShimmer.default":"Ka-fakaraya","threadEnvIcon.cloudTooltip":"Wada sheekaysigan waxa uu ka socdaa gudaha Codex Cloud","threadEnvIcon.localTooltip":"Wada sheekaysigan waxa uu u socdaa si gudaha ah.","threadEnvIcon.worktreeTooltip":"Wada sheekaysigan waxa uu wadaa git worktree maxaliga ah.","threadHeader.archiveConfirmCancel":"Kansal","threadHeader.archiveConfirmConfirm":"Kayd","threadHeader.archiveConfirmSubtitle":"Waxaad arki kartaa ka dib gudaha qaybahaaga la kaydiyo","threadHeader.archiveConfirmTitle":"Si qarsoon u kaydi","threadHeader.copyAppLink":"Koobiyee Deeplink","threadHeader.copySessionId":"Koobiyee aqoonsiga kullanka","threadHeader.copyWorkingDirectory":"Koobiyee diiwaanka shaqaynaya","threadHeader.forkIntoLocal":"Samee koobiga goobta ah","threadHeader.forkIntoWorktree":"U koobiyee worktree cusub","threadHeader.forkPendingWorktreePrompt":"U koobiyee wada sheekaysigan worktree cusub.","threadHeader.forkPendingWorktreeTitle":"Wada sheekaysiga la koobiyeeyay","threadHeader.forkThreadError":"Ku guul daraystay koobiyaynta qaybtan","threadHeader.forkThreadRequiresGitRepo":"U koobiyaynta worktree cusub waxay u baahan tahay kaydka git.","threadHeader.moreActions":"Tallaabooyinka qaybta","threadPage.newThread":"Qaybta cusub","threadPage.runAction.changeEnvironment":"Beddel deegaanka","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} falalka","threadPage.runAction.environmentSelector.label":"Dooro deegaanka","threadPage.runAction.label":"Socod sii","threadPage.runAction.missing.label":"Diyaari hawl bilaabida","threadPage.runAction.setup.commandLabel":"Amar si loo wado","threadPage.runAction.setup.description":"U sheeg Codex sida loogu shubo xidhmooyinka oo loo bilaabo abkaaga.","threadPage.runAction.setup.editMore":"Setinka deegaanka","threadPage.runAction.setup.placeholder":"tusaale: npm ku shub npm run","threadPage.runAction.setup.submit":"Kaydi oo wad","threadPage.runAction.setup.title":"Socod sii","threadPage.runAction.tooltip.withEnvironment":"{environmentName} falalka","threadPage.toggleDiffPanel":"U beddel qayb ka duwan","threadPage.toggleTerminal":"Beddel bixida","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Fur faylka","toolSummaryForCmd.exploredFiles":"<verb>Faylasha</verb> qoran","toolSummaryForCmd.exploredFilesInPath":"<verb>Faylasha </verb> ku qoran gudaha{path}","toolSummaryForCmd.exploringFiles":"<verb>Qoraya</verb> faylasha","toolSummaryForCmd.exploringFilesInPath":"<verb>Ku qoraya</verb> faylasha gudaha {path}","toolSummaryForCmd.ranGenericCommand":"<status>Maamulo aalada</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Socday</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Akhri</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Maamulayo aalada</status>{timer}","toolSummaryForCmd.runningTimer":"ku saabsan {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Raadiyay</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Raadiyay</verb> faylasha","toolSummaryForCmd.searchedForInPath":"<verb>Ka raadiyay</verb> {query} gudaha {path}","toolSummaryForCmd.searchingFor":"<verb>Raadinaya</verb>{query}","toolSummaryForCmd.searchingForFiles":"<verb>Raadinaya</verb> faylasha","toolSummaryForCmd.searchingForInPath":"<verb>Ka</verb> raadinaya{query} gudaha {path}","traceRecording.details.noteLabel":"Maxaad qabanaysay markay tani dhacday? (ikhtiyaar)","traceRecording.details.notePlaceholder":"Tagay madalo badan oo wayn, ka dibna isku beddelay taabab si soo noqnoqnaysa...","traceRecording.details.submit":"Dir raac raaca","traceRecording.details.subtitle":"Waxaanu u diri karnaa raad raacan duubida si loo caawiyo aqoonsahada dhibta wax qabadka.","traceRecording.details.title":"Diri borofaylka raad raaca?","traceRecording.progress.subtitle":"Ha furnaado Codex marka ay tani dhammaato.","traceRecording.saving.title":"Kaydinaya raad raaca...","traceRecording.startDetails.cancel":"Kansal","traceRecording.startDetails.submit":"Sax, Bilow Duubitaanka","traceRecording.startDetails.subtitle":"Ka dib markaad riixdo OK, dib u soo saar arrinta wax qabadka, ka dibna riix baranka cad ee sababaynaya si loo joojiyo oo dib loogu eego raad raaca.","traceRecording.startDetails.title":"Sida loo Raad raaco Shaqooyinka La duubayo","traceRecording.stopButton.ariaLabel":"Jooji raad raaca duubida","traceRecording.upload.successToast":"Raad raaca borofaylka waa la diray.","traceRecording.uploading.title":"Soo saaraya raad raaca...","wham.diff.addComment":"Ku dar faalooyin","wham.diff.binaryFile":"Faylka kaydka lama muujinaya","wham.diff.noContent":"Waxba kuma jiraan","wham.fileTag.deleted":"La tirtiray","wham.fileTag.new":"Cusub","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}bil","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}t","wham.formattedRelativeDateTime.compactYearsAgo":"{value}s","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Ka shaqaynta hawshaada","wham.whamProposedTask.title":"Hawsha la soo jeediyay","wham.whamProposedTask.useSuggestion":"Isticmaal soo jeedinta","workspaceRootDialog.addError":"Ku guul daraystay in lagu daro mashruuca","workspaceRootDialog.cancel":"Kansal","workspaceRootDialog.confirmAdd":"Ku dar Mashruuca","workspaceRootDialog.confirmPick":"Isticmaal mashruuca","workspaceRootDialog.description":"Geli dhabtada {host}si loo isticmaalo sidii mashruuca.","workspaceRootDialog.pathLabel":"Dhabada mashruuca","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Ku dar dhabada mashruuca","workspaceRootDialog.title.pick":"Dooro dhabada mashruuca","worktreeInitV2.cancel":"Kansal","worktreeInitV2.notification.failedTitle":"Ku shubida worktree way fashilantay","worktreeInitV2.output.empty":"Sugaya natiijada...","worktreeInitV2.status.error":"Ku shubida worktree way fashilantay","worktreeInitV2.status.running":"Samaynta worktree iyo ku shubida.","worktreeInitV2.status.runningFork":"Samaynta worktree si uu u koobiyeeyo wada sheekaysigan.","worktreeInitV2.status.success":"Worktree waa diyaar.","worktreeInitV2.title":"Samaynta worktree","worktreeInitV2.workLocallyInstead":"U shaqee deegaan ahaan badelkii","worktreeRestoreBanner.body":"Fariimaha taxanaha ee worktree waxaa looga saaray inay ku keydiso booska meemoriga.","worktreeRestoreBanner.missing.body":"Galkaan fariimaha taxanaha ee diiwaanka in dheeraad ah ma jiro","worktreeRestoreBanner.missing.title":"Diiwaanka shaqaynaya ee hadda wuu maqan yahay","worktreeRestoreBanner.restore.error":"Ku fashilmay soo celinta faylka: {message}","worktreeRestoreBanner.restore.success":"Waxa la soo celiyay worktree ama faylka","worktreeRestoreBanner.restoreCta":"Faylka waa la soo celiyay","worktreeRestoreBanner.title":"Worktree ama faylkqa waa la nadiifiyay"};export{a as default};
+const a={"CopyButton.copyTooltip":"Koobi-garee","app.sidebar.hide":"Qari liidka dhinaca","app.sidebar.show":"Muuji liidka dhnaca","app.sidebar.tooltip":"Isku-bedbedel agab-dhinaceedka","appHeader.installUpdate":"Cusbooneysii","appSunset.body":"Noocan abka ah in dheeraad ah lama taageero. Fadlan ka soo deji noocii u dambeeyay <here>halkan</here>.","appSunset.title":"Cusbooneysiinta waa loo baahan yahay","automation.updateDirective.create":"Abuur","automation.updateDirective.open":"Fur","automation.updateDirective.untitled":"Otomaatiga aan cinwaan lahayn","automation.updateDirective.update":"Cusbooneysii","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# isku dayga} other {# isku deyada}}","cloudTaskRow.archiveError":"Ay fashilantay in la kaydiyo hawsha","code.diff.requestChange":"Codso isbeddel","code.diffComment.cancel":"Kansal","code.diffComment.comment":"Ka faallood","code.diffComment.delete":"Tirtir","code.diffComment.save":"Kaydi","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Wax natiijooyin ah lagama warbixin.","codex.alert.closeAriaLabel":"Xidh","codex.appUpsellBanner.cbpApi.message":"Si dhaqso ah ugu dhis aabka Codex. Soo deji hadda ama {learnMoreLink}.","codex.appUpsellBanner.download":"Lasoo-dag","codex.appUpsellBanner.freeGo.message":"Codex waxaa lagu daray qorshagaaga ilaa Maarso 2 deeda. Isku day aabka Codex si degdeg loogu dhiso.","codex.appUpsellBanner.later":"Hadhow","codex.appUpsellBanner.learnMoreLowercase":"baro wax badan","codex.appUpsellBanner.new":"Cusub","codex.appUpsellBanner.proPlusBusiness.message":"Isku day aabka Codex oo wata 2x heerka xadadka ilaa Abriil 2deed. Soo deji hadda ama {learnMoreLink}.","codex.appUpsellBanner.title":"Aabka Codex","codex.applyDropdown.header.changes":"Isbeddelada","codex.applyDropdown.header.fileCount":"{count, plural, one {# fayl} other {# faylasha}}","codex.applyDropdown.header.rows":"safaf","codex.applyDropdown.header.title":"Adeegso isbeddelada","codex.applyDropdown.header.workspace":"Mashruuca","codex.applyDropdown.results.conflicted":"{count, plural, one {1 fayl is khilaafsan:} other {{count} faylasha is khilaafsan:}}","codex.applyDropdown.results.empty":"Ma jiraan faylal la koobiyeeyay","codex.applyDropdown.results.skipped":"{count, plural, one {1 fayl ka boodayy:} other {{count} faylasha laga booday:}}","codex.applyOrRevertBanner.apply":"Codso","codex.applyOrRevertBanner.applyMessage":"Adeefso isbeddelada oo sii wad maxali ahaan?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Hawshan waxaa lagu sameeyay {environment} markaas looma adeegsado si nadiif ah.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Isbeddelada lagu sameeyay {environment} markaas looma adeegsan karo si nadiif ah.","codex.applyOrRevertBanner.reapply":"Dib u adeegso","codex.applyOrRevertBanner.revert":"Ku noqo...","codex.applyOrRevertBanner.revertMessage":"Ka noqo isbeddelada la adeegsaday?","codex.applyResultsDialog.applied":"Loo adeegsaday si nafiid ah({count})","codex.applyResultsDialog.close":"Xidh","codex.applyResultsDialog.conflicted":"Is khilaafsan ({count})","codex.applyResultsDialog.noDetails":"Lama heli karo faahfaahinta faylka.","codex.applyResultsDialog.skipped":"Ka booday ({count})","codex.applyResultsDialog.title":"Adeegso natiijooyinka","codex.archiveInfo":"Arag wada sheekeysiga la kaydiyey gudaha {dataControlsLink}","codex.archiveInfo.dataControlsLink":"Xakameynada Xog","codex.archiveInfo.electron":"Arag wada sheekeysiga la kaydiyey ee {settingsLink}","codex.archiveInfo.extension":"Arag wada sheekaysiyada lagu kaydiyay faylkaaga codex.","codex.archiveInfo.settingsLink":"Habeynta","codex.banner.content.description":"U wad hawlaha si siman, raad raac horumarka meel kasta, oo ku qiimee PRs AI.","codex.banner.content.headline":"Codex dhammaan way samaysaa.","codex.cloudTaskRow.archiveTask":"Kaydi hawsha","codex.cloudTaskRow.confirmArchiveTask":"Xaqiiji","codex.command.feedback":"Faallo celin","codex.command.findInThread":"Hel","codex.command.forceReloadSkills":"Xirfadaha dib u soo saarida xooga ah","codex.command.logOut":"Ka bax","codex.command.manageTasks":"Maaree hawlaha","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Laabo","codex.command.navigateForward":"Hore","codex.command.newThread":"Qaybta cusub","codex.command.nextThread":"Qaybta xigta","codex.command.openFolder":"Fur faylka","codex.command.openSkills":"Booqo xirfadaha","codex.command.openThreadOverlay":"Qaybta macluumaadka soo booda","codex.command.personalitySettings":"Shakhsiyada","codex.command.previousThread":"Qaybtii hore","codex.command.settings":"Habeynta","codex.command.toggleDiffPanel":"U beddel qayb ka duwan","codex.command.toggleSidebar":"Isku-bedbedel agab-dhinaceedka","codex.command.toggleTerminal":"Beddel bixida","codex.commandGroup.app":"Abka","codex.commandGroup.configure":"Habee","codex.commandGroup.navigation":"Dhex gooshida","codex.commandGroup.panels":"Qaybaha","codex.commandGroup.skills":"Xirfadaha","codex.commandGroup.thread":"Liidka","codex.commandGroup.workspace":"Mashruuca","codex.commandMenu.noResults":"Ma jiro wax u dhigma","codex.commandMenu.searchPlaceholder":"Raadi amarada","codex.commandMenu.suggestedGroup":"La soo jeediyay","codex.commandMenu.switchWorkspace":"Taxanaha mashruuca","codex.commandMenu.title":"Liiska amarka","codex.common.retry":"Dib isugu day","codex.composer.searchBranches":"Raadi faracyada","codex.dialog.basic.body":"Kani waa liiska moodeelka fudud oo isticmaalaya isku duubahayaga Radis Dialog.","codex.dialog.basic.cancel":"Kansal","codex.dialog.basic.confirm":"Xaqiiji","codex.dialog.basic.open":"Xidh qaybta Yar ee Soo baxda","codex.dialog.basic.title":"Muunada Qaybta yar ee soo Baxda","codex.dialog.long.close":"Xidh","codex.dialog.long.line":"Laynka la wareejin karo {index} si loo soo bandhigo macluumaadka dheer gudaha qaybta yar ee soo baxda.","codex.dialog.long.open":"Fur Qaybta yar ee Soo baxda ee Yar","codex.dialog.long.title":"Macluumaadka Qaybta yar ee Soo baxda","codex.dialog.unstyled.body":"Sheekaydan waxay sheegaysaa sida wacayaasha ay si buuxda ugu maamuli karaan qaabka qoraalku u soo baxo.","codex.dialog.unstyled.open":"Fur Liiska qoraalka Aan Qaabaysnayn","codex.dialog.unstyled.title":"Macluumaadka Aan qaabaysnayn","codex.diff.openInEditorPrompt.openButton":"Ku fur tifatiraha","codex.diff.openInEditorPrompt.singleLine":"Faylakan aad ayuu u wayn yahay in lagu soo bandhigo halkan.","codex.diffView.failedToDecodeBase64Diff":"Ku guul daraystay furfurida koodhka base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {# faylka ayaa la beddelay} other {# faylashu way isbeddeleen}}","codex.diffView.imagePreviewAlt":"Sawirka muuqaalka kooban","codex.diffView.imagePreviewEmpty":"Sawir ma jiro","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Ma jirto kala duwanaanshaha xogta","codex.diffView.pdfPreview.nextPage":"Bogga xiga","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Boggii hore","codex.diffView.pdfPreviewEmpty":"Ma jiro muuqaalka PDF","codex.diffView.pdfPreviewError":"Aan awoodin soo bandhiga muuqaalka kooban","codex.diffView.richPreviewDisable":"Xidh sifooyinka otomaatiga ah ee abka","codex.diffView.richPreviewEnable":"Fur sifooyinka otomaatiga ah ee abka","codex.diffView.richPreviewLoading":"Soo saaraya muuqaal kooban…","codex.diffView.richPreviewToggle":"Beddel sifooyinka otomaatiga ah ee abka","codex.diffView.switchToUnified":"U beddel faraqa midaysan","codex.environmentSelector.noEnvironment":"Deegaan ma jiro","codex.environments.environmentSettings":"Setinka deegaanka","codex.environments.learnMore":"Wax badan ka baro","codex.environments.listError":"Ku guul daraystay soo saarida deegaanada.","codex.environments.noEnvironmentsFound":"Ma jiraan deegaano la helay","codex.environments.searchError":"Ku guul daraystay raadinta deegaanada.","codex.errorBoundary.genericError":"Ooh, cillad ayaa dhacday","codex.errorBoundary.goHome":"Iskuday markale","codex.file.patch.missing":"Aan awoodin inuu dhiso qaybta faylkan.","codex.gallery.automations.cwdLabel":"Mashruucyada","codex.gallery.automations.nameLabel":"Magac","codex.gallery.automations.namePlaceholder":"Soo koob hawsha","codex.gallery.automations.promptLabel":"Dhakhso ah","codex.gallery.automations.promptPlaceholder":"Faahfaahi waxa Codex ay qaban lahayd","codex.gallery.dialogs.automation.label":"Dhaayalooga otomaatiga ah","codex.gallery.dialogs.basic.body":"U isticmaal nashqada xaqiijinta tooska ah ama qaababka gaaban.","codex.gallery.dialogs.basic.cancel":"Kansal","codex.gallery.dialogs.basic.confirm":"Xaqiiji","codex.gallery.dialogs.basic.label":"Qaybta yar ee soo socda ee aasaasiga ah","codex.gallery.dialogs.basic.title":"Muunada qaybta yar ee soo baxda","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Faahfaahi dhibta","codex.gallery.dialogs.feedbackSubmission.bad":"Natiijo xun","codex.gallery.dialogs.feedbackSubmission.bug":"Cilad","codex.gallery.dialogs.feedbackSubmission.good":"Natiijo wanaagsan","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Ku dar diiwaanada kulladan hadda Codex","codex.gallery.dialogs.feedbackSubmission.label":"Gudbinta faallo celinta","codex.gallery.dialogs.feedbackSubmission.other":"Kale","codex.gallery.dialogs.feedbackSubmission.placeholder":"Ku faahfaahi arrinka halkan","codex.gallery.dialogs.feedbackSubmission.submit":"Gudbi","codex.gallery.dialogs.feedbackSubmission.title":"Faallo celin","codex.gallery.dialogs.feedbackSuccess.body":"Faallo celinta la soo geliyay. Haddii dhibaatadu sii jirto, fadlan Fur arrinta GitHub ama sheeg aqoonsiga liidka arrinta furan ee jirta:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Iska dhaaf","codex.gallery.dialogs.feedbackSuccess.label":"Guusha faallo celinta","codex.gallery.dialogs.feedbackSuccess.title":"Faallo celinta waa la soo geliyay","codex.gallery.dialogs.gitApplyResults.applied":"Loo adeegsaday si nafiid ah (2)","codex.gallery.dialogs.gitApplyResults.close":"Xidh","codex.gallery.dialogs.gitApplyResults.conflicted":"Is khilaafsan (1)","codex.gallery.dialogs.gitApplyResults.label":"Adeegso natiijooyinka","codex.gallery.dialogs.gitApplyResults.title":"Adeegso natiijooyinka","codex.gallery.dialogs.gitPushError.body":"Soo deji isbeddelada u dambeeyay ama soo g haddielii aad garanayso taariikhda fog inay badbaado tahay in la beddelo.","codex.gallery.dialogs.gitPushError.cancel":"Kansal","codex.gallery.dialogs.gitPushError.force":"Riixid xoog ah","codex.gallery.dialogs.gitPushError.label":"Dirida cilada","codex.gallery.dialogs.gitPushError.subtitle":"Faracaaga waa uu ka dambeeya ka asalka ah/ka muhiimka ah.","codex.gallery.dialogs.gitPushError.title":"Ku fashilmay dirida isbeddelada","codex.gallery.dialogs.gitRevert.cancel":"Kansal","codex.gallery.dialogs.gitRevert.confirm":"Ku noqo...","codex.gallery.dialogs.gitRevert.label":"Ka noqo isbeddelada","codex.gallery.dialogs.gitRevert.skip":"Markale ha weydiin","codex.gallery.dialogs.gitRevert.subtitle":"Falkan waxa uu ka saaraa dhammaan isbeddelada.","codex.gallery.dialogs.gitRevert.title":"Ka noqo isbeddelada?","codex.gallery.dialogs.longForm.label":"Dhaayalooga foomka dheer","codex.gallery.dialogs.proseModal.body":"Qaabkan moodeelkan waxaa loo isticmalaa tilmaamo dheer, tababarid, ama lakabyada macluumaadka qaniga ah.","codex.gallery.dialogs.proseModal.close":"Xidh","codex.gallery.dialogs.proseModal.subtitle":"Wadaag hagitaanka foomka dheer ama caddaynta halkan.","codex.gallery.dialogs.proseModal.title":"Liiska qoraalka soo baxa","codex.gallery.dialogs.submitBlocked.label":"Gudbinta waa la xanibay","codex.gallery.dialogs.submitBlocked.message":"Fariintaada waa la diri kari waayay sababtoo ah mashruuca lama heli karo.","codex.gallery.dialogs.submitBlocked.ok":"Waayahay","codex.gallery.dialogs.submitBlocked.title":"Aan awoodin dirida fariinta","codex.gallery.dialogs.title":"Dhaayaloogyada","codex.gallery.dropdown.filterPlaceholder":"Filtarka sheeyada","codex.gallery.dropdowns.actionRow":"Safafka falka","codex.gallery.dropdowns.actionRow.disabled":"Falka la xanibay","codex.gallery.dropdowns.actionRow.primary":"Falka koowaad","codex.gallery.dropdowns.actionRow.secondary":"Qaybta labbaad","codex.gallery.dropdowns.actionRow.trigger":"Tus falalka","codex.gallery.dropdowns.basic":"Liiska aasaasiga ah ee hoos u dega","codex.gallery.dropdowns.basic.newFile":"Faylka cusub","codex.gallery.dropdowns.basic.newFolder":"Fayl cusub","codex.gallery.dropdowns.basic.openSettings":"Fur setinka","codex.gallery.dropdowns.basic.title":"Falalka degdega ah","codex.gallery.dropdowns.basic.trigger":"Fur liiska","codex.gallery.dropdowns.basic.upload":"Soo rar","codex.gallery.dropdowns.panel":"Oogada shaashada","codex.gallery.dropdowns.panel.apply":"Codso","codex.gallery.dropdowns.panel.body":"Dib u eeg kala duwanaanshaha oo adeegso mashruuca.","codex.gallery.dropdowns.panel.preview":"Hore-u-eeg","codex.gallery.dropdowns.panel.title":"Adeegso isbeddelada","codex.gallery.dropdowns.panel.trigger":"Fur shaashada","codex.gallery.dropdowns.search":"Liiska hoos u dega ee la raadin karo","codex.gallery.dropdowns.search.first":"Kanaalka Alpha","codex.gallery.dropdowns.search.second":"Faraca Beta","codex.gallery.dropdowns.search.third":"Noocii u dambeeyay","codex.gallery.dropdowns.search.trigger":"Filtarka sheeyada","codex.gallery.dropdowns.submenu":"Liiska hoos u dega ee wata liis hoosaadka","codex.gallery.dropdowns.submenu.optionA":"Mashruuca alpha","codex.gallery.dropdowns.submenu.optionB":"Mashruuca beta","codex.gallery.dropdowns.submenu.optionC":" Mashruuca gamma","codex.gallery.dropdowns.submenu.primary":"Magacow mulkiilaha","codex.gallery.dropdowns.submenu.secondary":"U dhaqaaq","codex.gallery.dropdowns.submenu.tertiary":"Kayd","codex.gallery.dropdowns.submenu.trigger":"Dooro falka","codex.gallery.dropdowns.title":"Liiska hoos u soo dega","codex.gallery.inbox.automations.close":"Xidh","codex.gallery.inbox.automations.popover.cardTitle":"Maaree otomaatiga","codex.gallery.inbox.automations.popover.dialogTitle":"Maaree otomaatiga","codex.header.settingsTooltip":"Habeynta","codex.hunk.patch.error":"Ku fashilmay diyaarinta","codex.hunk.patch.missing":"Aan awoodin dhisida qaybta hunk gan.","codex.hunk.patch.partialSuccess":"Guusha qaybta ah.","codex.hunk.patch.revertError":"Ku guul daraystay ka saarida","codex.hunk.patch.revertSuccess":"U hawl geliyay si guul leh","codex.hunk.patch.success":"U diyaariyay si guul leh","codex.legal.autonomy.details":"Faahfaahin badan, arag {link}","codex.legal.autonomy.details.link":"Dhokumentiyada Codex","codex.legal.autonomy.title":"Go’aami sida inta ay leeg tahay madax banaanida aad doonayso inaad bixiso","codex.legal.backButton":"Laabo","codex.legal.cloud.taskOne.meta":"openai/agi · Oktoobar 12","codex.legal.cloud.taskOne.title":"Sharax kaydka nashqadeeyaha cusub","codex.legal.cloud.taskThree.meta":"openai/codex · Oktoobar 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Samee mowduuca qaabka madow","codex.legal.cloud.taskTwo.meta":"openai/agi · Oktoobar 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Hagaaji cilada isticmaalaha","codex.legal.continue.apikey":"Sii wad","codex.legal.continueButton":"Xigta","codex.legal.copilot.details":"Isticmaala qorshahaaga Copilot ee dhammaan wicitanada moodeelka, biil bixinta, iyo heerka xadadka. Kordhinta Codex isticmaalku waxa uu hoos imanayaa labbadaba {oaiTos}iyo{gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Shuruudaha Adeega GitHub","codex.legal.copilot.oaiTosLink":"Shuruudaha adeega OpenAI Codex","codex.legal.copilot.title":"Uu awooda siiyay GitHub Caopilot","codex.legal.mistakes.review":"Qiimee koodhka ay qorto iyo amarada ay wado","codex.legal.mistakes.title":"Codex khaladaadka ayuu sameyn karaa.","codex.legal.powered.details":"Isticmaala qorshahaaga heerka xadadka iyo {link}","codex.legal.powered.details.link":"dookhyada xogta tababarka","codex.legal.powered.title":"Uu awood siiyay kootadaada ChatGPT","codex.legal.step.cloud.subtitle":"U dir hawlaha Codex si looga wado gudaha muuqaalka dambe markaas waxaad xooga saaraysaa oo u dhaqaaqdaa si degdeg ah.","codex.legal.step.cloud.title":"U wareeji Codex guaha cloud","codex.legal.step.intro.subtitle":"Codex way gooshtaa, wax beddeshaa, wadaa amarada, oo fulisaa tijaabooyinka si toos ah gudaha kaydkaaga. Ay awooda siisay kootadaada ChatGPT.","codex.legal.step.intro.title":"Codex gudaha IDE gaaga","codex.legal.step.todo.subtitle":"Qor faalada TODO oo u beddel hawl Codex ah oo wadata riixid keliya.","codex.legal.step.todo.title":"U rog TODOs ilaa hawlaha Codex","codex.legal.todo.heading":"// TODO:hirgeli qaabka rasmiga ah","codex.localConversation.closeImagePreview":"Xidh sawirka muuqaalka kooban","codex.localConversation.userImageAttachment":"Lifaaqa isticmaalaha","codex.localTaskRow.archiveTask":"Si qarsoon u kaydi","codex.localTaskRow.awaitingApproval":"Sugaya oggolaanshaha","codex.localTaskRow.awaitingResponse":"Sugaya jawaabta","codex.localTaskRow.confirmArchiveTask":"Xaqiiji","codex.loggedOut.apiKeyPrompt.cancel":"Kansal","codex.loggedOut.apiKeyPrompt.confirm":"Waayahay","codex.loggedOut.apiKeyPrompt.getKey":"Hel Furaha API","codex.loggedOut.apiKeyPrompt.inputLabel":"Geli furahaaga OpenAI API","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Hawlaha cloud lagu xidhay furaha API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Hawlaha cloud ee lagu xidhay Copilot iyo Furaha API","codex.loggedOut.signIn":"Ku soo gal ChatGPT","codex.loggedOut.signIn.cancel":"Tirtir Soo gelida","codex.loggedOut.signInWithCopilot":"Ku soo gal GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Isticmaal Furaha API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} aalada","codex.mcpTool.collapsedLabel.verb.called":"Wacay","codex.mcpTool.collapsedLabel.verb.calling":"Wacaya","codex.mcpTool.embeddedResource.contentLabel":"Nuxur","codex.mcpTool.embeddedResource.mimeTypeLabel":"Nooca MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Aalada waxaa loo celiyay macluumaadka","codex.mcpTool.rawPayloadHeading":"Aalada {server}{tool} qayaxan ee MCP wicita fariimaha xogta","codex.menu.recent":"Dhawaa","codex.menu.seeAllHistory":"Arag dhammaan taariikhda","codex.modelCapacityBanner.headline.noReset":"{modelName} hadda wuu buuxaa. isku dar amar labbaad ka dib, ama ka bilow wada sheekaysi cusub moodeel kale.","codex.modelCapacityBanner.headline.withReset":"{modelName} wuu buuxaa hadda. Isku day mar labbaad ka dib {resetDate}, ama ka bilow wada sheekaysi cusub moodeel kale.","codex.modelCapacityBanner.title":"Moodeelka la xushay wuu buuxaa","codex.patch.change.contentsDeleted":"Macluumaadka la tirtiray","codex.patch.change.created":"La-abuurey","codex.patch.change.created-file":"Sameeyay faylka","codex.patch.change.creating":"Abuuraya","codex.patch.change.deleted":"La tirtiray","codex.patch.change.deleted-file":"Tirtir faylka","codex.patch.change.deleting":"Tirtiraya","codex.patch.change.edited":"Wax laga beddelay","codex.patch.change.edited-file":"Faylka wax laga beddelay","codex.patch.change.editing":"Wax ka beddelka","codex.patch.change.noChanges":"Ma jiraan isbeddelo","codex.patch.change.rejected-add":"La diiday","codex.patch.change.rejected-delete":"La diiday","codex.patch.change.rejected-edit":"La diiday","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} ka baxsan {total} hawlaha la dhammaystiray","codex.plan.todoListCreated":"Liiska lagu sameeyay {total} hawlaha","codex.profileDropdown.apiKeyAuth":"Lagu soo galo furaha API","codex.profileDropdown.codexSettings":"Setinka Codex","codex.profileDropdown.copilotAuth":"Lagu soo galay Copilot","codex.profileDropdown.defaultAccountTitle":"Kootada asalka ah","codex.profileDropdown.enterBehavior":"{modifierSymbol} +geli si loo diro tilmaamaha dheer","codex.profileDropdown.enterBehaviorError":"Ku guul daraystay in la cusbooneysiiyo setinka","codex.profileDropdown.getPlus":"Ku cusboonaysii wixii ah xadadka sare","codex.profileDropdown.keyboardShortcuts":"Wadooyinka-gaagaaban ee kiiboorka","codex.profileDropdown.language":"Luuqada","codex.profileDropdown.languageDefault":"Dareemid-otomaatik ah","codex.profileDropdown.languageSearchPlaceholder":"Raadi luqaddaha","codex.profileDropdown.languageUpdateError":"Ku guul daraystay cusbooneysiinta luqadda","codex.profileDropdown.logOut":"Ka bax","codex.profileDropdown.mcp":"Setinka MCP","codex.profileDropdown.openConfigToml":"Fur ku xidhida toml","codex.profileDropdown.openConfigToml.wsl":"Fur ku xidhida toml gudaha deegaanka WSL","codex.profileDropdown.openExtensionSettings":"Fur setinka","codex.profileDropdown.openMcpSettings":"Fur setinka MCP","codex.profileDropdown.openOnStartup":"Ka fur bilaabida","codex.profileDropdown.openOnStartupError":"Ku guul daraystay in la cusbooneysiiyo setinka","codex.profileDropdown.openSkillsSettings":"Fur setinka Xirfadaha","codex.profileDropdown.personalAccountTitle":"Koonto shakhsiyeed","codex.profileDropdown.queueFollowUps":"Saf u gal la socodka","codex.profileDropdown.queueFollowUpsError":"Ku guul daraystay in la cusbooneysiiyo setinka","codex.profileDropdown.readDocs":"Akhri dhokumentiyada","codex.profileDropdown.readSkillsDocs":"Akhri dhokumentiyada","codex.profileDropdown.runInWsl":"Ka wad gudaha WSL","codex.profileDropdown.runInWslError":"Ku guul daraystay in la cusbooneysiiyo setinka","codex.profileDropdown.runInWslTooltip":"Wada Codex gudaha WSL. Lagu taliyay qaybta amniga horumarsan iyo wax qabad ka wanaagsan.","codex.profileDropdown.settings":"Setinka IDE","codex.profileDropdown.settingsPage":"Habeynta","codex.profileDropdown.signInWithOpenAI":"Ku soo gal ChatGPT","codex.profileDropdown.skills":"Setinka xirfadaha","codex.profileDropdown.switchToCopilotAccount":"Isticmaal kootada Copilot","codex.profileDropdown.switchToOpenAIAccount":"Isticmaal kootada OpenAI","codex.profileDropdown.todoCodelens":"Hagaaji faallooyinka TODO","codex.profileDropdown.todoCodelensError":"Ku guul daraystay in la cusbooneysiiyo setinka","codex.profileDropdown.windowsDocumentation":"Caddaymaha Windows","codex.profileFooter.signedInFallback":"Habeynada","codex.profileFooter.upgrade":"Casriyeey","codex.recentTasksMenu.clearSearch":"Masax raadinta","codex.recentTasksMenu.cloud":"Hawlaha cloud","codex.recentTasksMenu.count":"{count, plural, =0 {Ma jiro hawlo socda} one {# hawsha socota} other {# hawlaha socda}}","codex.recentTasksMenu.empty":"Wada sheekaysiyo ma jiraan weli","codex.recentTasksMenu.errorCloud":"Ku guul daraystay soo saarida hawlaha.","codex.recentTasksMenu.errorCloud.inline":"Ku guul daraystay","codex.recentTasksMenu.filterAll":"Dhammaan","codex.recentTasksMenu.filterCloudTasks":"Kala shaandhee hawlaha cloud","codex.recentTasksMenu.filterTooltip":"Ku kala shaandhee hawlaha deegaan ahaan","codex.recentTasksMenu.local":"Hawlaha macaliga ah","codex.recentTasksMenu.recent":"Dhammaan hawlaha","codex.recentTasksMenu.search":"Raadi hawlahii u dambeeyay","codex.recentTasksMenu.searchEmpty":"Majiraan natiijooyin","codex.recentTasksMenu.tooltip":"Taariikhda hawsha","codex.recentTasksMenu.trigger":"Hawlaha hadda. {count, plural, one {# socda} other {# socda}}","codex.remoteConversation.applyDiff.applyCta":"Adeegso isbeddelada","codex.remoteConversation.applyDiff.dropdownTitle":"Adeegso isbeddelada faraca maxaliga ah","codex.remoteConversation.applyDiff.revertCta":"Ka noqo isbeddelada","codex.remoteConversation.closeImagePreview":"Xidh sawirka muuqaalka kooban","codex.remoteConversation.codexCloudTask":"Waxaad arkaysaa hawsha<u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Cillad: {message}","codex.remoteConversation.loadingImage":"Soo saaraya sawirka","codex.remoteConversation.openInWeb":"Ka fur shabakada","codex.remoteConversation.streaming":"Bilaabida","codex.remoteConversation.turnFailed":"Khaladka ka dhaca gudaha hawshan","codex.remoteConversation.turnTab.loading":"Isku day {number}","codex.remoteConversation.turnTab.title":"Isku day {number}","codex.remoteConversation.userImageAttachment":"Lifaaqa isticmaalaha","codex.remoteConversation.viewPreviousTurns":"Ka fur shabakada","codex.remoteConversation.viewPreviousTurns.buttonText":"Fur","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Ka fur shabakada","codex.review.copyGitApplyCommand":"Koobiy amarka adeegsida git","codex.review.copyGitApplyCommand.toast":"Git la soo koobiyeeyay adeegsto amar ilaa faylka","codex.review.diffTooLarge.description":"Kala duwanaanshahan aad ayuu u wayn yahay in lagu soo bandhigo Dib u eegida.","codex.review.diffTooLarge.title":"Kala duwanaanshahu aad ayuu u wayn yahay in lagu soo bandhigo","codex.review.expandOrCollapseDiffButton.collapse":"Tuur dhammaan kala duwanaanshaha","codex.review.expandOrCollapseDiffButton.expand":"Ballaadhi dhammaan kala duwanaanshaha","codex.review.expandOrCollapseDiffMenu.collapse":"Tuur dhammaan kala duwanaanshaha","codex.review.expandOrCollapseDiffMenu.expand":"Ballaadhi dhammaan kala duwanaanshaha","codex.review.fileSearch.clear":"Masax filtarka faylka","codex.review.fileSearch.empty":"Ma jiraan faylal ku habboon shaandhada hadda.","codex.review.fileSearch.label":"Shaandhee faylashada","codex.review.fileSearch.placeholder":"Shaandhee faylashada...","codex.review.filesChanged":"{num, plural, =0 {Wax fayl ah lama beddelin} one {# faylka ayaa la beddelay} other {# faylashu way isbeddeleen}}","codex.review.find.loadMore":"Soo geli waxyaaba badan oo ku habboon","codex.review.fullReview.hideFileTree":"Qari geedka faylka","codex.review.fullReview.showFileTree":"Tus geedka faylka","codex.review.header.moreOptions":"Dib u eeg doorashooyinka","codex.review.largeDiff.banner":"Faraq wayn ayaa la ogaaday — tusinaya hal fayl wakhtigiiba.","codex.review.loadFullFiles.disable":"Ha soo gelin faylasha buuxda","codex.review.loadFullFiles.enable":"Soo geli faylasha buuxda","codex.review.noDiff":"Isbeddelada faylka ayaa halkan ka muuqan doona","codex.review.noDiff.gitInit.createRepository":"Samee kaydka git","codex.review.noDiff.gitInit.creating":"Samaynaya…","codex.review.noDiff.gitInit.error":"Git init way fashilantay: {message}","codex.review.noDiff.gitInit.success":"Kaydka git ee la sameeyay","codex.review.noDiff.gitRepoRequired.description":"Raad raac oo ka noqo isbadelada mashruuca","codex.review.noDiff.gitRepoRequired.title":"Samee kaydka Git","codex.review.noDiff.orNoLongerAvailable":"ama kala duwanaanshaha u dambeeyay in dheeraad ah lama heli karo","codex.review.noDiff.reverted":"Markii u dambaysay waa laga noqday","codex.review.noDiff.revertedOrCommitted":"Markii u dambaysay miduun waa laga noqday ama waa la diray","codex.review.refreshGitQueries":"Dib-u-kici galida","codex.review.revert.file.error":"Ku fashilmay inuu ka noqdo {path}","codex.review.revert.file.partialSuccess":"Qayb ahaan laga noqday {path}","codex.review.revert.file.success":"Laga oqday {path}","codex.review.revert.hunk.error":"Ku guul daraystay celinta hunk {hunkNumber}gudaha{path}.","codex.review.revert.hunk.partialSuccess":"Qayb ahaan ka noqday hunk {hunkNumber} gudaha{path}","codex.review.revert.hunk.success":"Ka noqday hunk {hunkNumber} gudaha {path}","codex.review.revert.section.error":"Ku fashilma ka noqoshada qaybta","codex.review.revert.section.partialSuccess":"Qaybta la noqday qayb ahaan","codex.review.revert.section.success":"Qaybta laga noqday","codex.review.revertDialog.cancel":"Kansal","codex.review.revertDialog.confirm":"Xaqiiji","codex.review.revertDialog.message":"Falkan waxa uu ka saaraa dhammaan isbeddelada.","codex.review.revertDialog.skip":"Markale ha weydiin","codex.review.revertDialog.title":"Ka noqo isbeddelada?","codex.review.richPreview.disable":"Xidh sifooyinka otomaatiga ah ee abka","codex.review.richPreview.enable":"Fur sifooyinka otomaatiga ah ee abka","codex.review.source.cloud":"Isbeddelada cloud","codex.review.source.local.all":"DHammaan isbeddelada faracyada","codex.review.source.local.lastTurn":"Markii u dambaysay isbeddelada","codex.review.source.local.uncommitted":"Isbeddelada aan la dirin","codex.review.source.worktree":"Isbeddelada worktree aan la kaydin","codex.review.stageFilter.empty.staged.description":"Aqbal wax ka beddelka si loo diyaariyo iyaga","codex.review.stageFilter.empty.staged.title":"Ma jiraan isbeddelo diyaarsan","codex.review.stageFilter.empty.unstaged.description":"Isbeddelada koodhka ayaa halkan ka muuqan doona","codex.review.stageFilter.empty.unstaged.title":"Ma jiraan isbeddelo aan diyaarsanayn","codex.review.stageFilter.staged":"Diyaarsan","codex.review.stageFilter.staged.count":"Diyaarsan {count}","codex.review.stageFilter.unstaged":"Aan diyaarsanayn","codex.review.stageFilter.unstaged.count":"Aan diyaarsanayn {count}","codex.review.switchToSplit":"U bedel kala jebi faraqa","codex.review.switchToUnified":"U beddel faraqa midaysan","codex.review.toggleDiffView":"U beddel aragti ka duwan","codex.review.wordDiffs.disable":"Xidh kala duwanaanshaha erayga","codex.review.wordDiffs.enable":"Fur kala duwanaanshaha erayga","codex.review.wrap.disable":"Xidh laynka kala qaybinta","codex.review.wrap.enable":"Fur laynka kala qaybinta","codex.section.patch.missing":"Aan awoodin dhisida qayb ka mid ah qaybtan.","codex.shell.collapse":"Soo rid shelka","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Koobiyeeyay macluumamadka shelka","codex.shell.copy.copyTooltip":"Koobiyee macluumamadka shelka","codex.shell.copyCommand":"Koobiyee amarka","codex.shell.copyOutput":"Soo saarida koobiga","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Ballaadhi shelka","codex.shell.name":"Xaalad","codex.shell.noOutput":"Ma jiraan natiijo","codex.signInFailed.message":"Galida waa fashilantay: {rawMessage}","codex.stories.toast.show":"Muuji Toast","codex.stories.tooltip.basic":"Kani waa qoraal faahfaahin leh","codex.stories.tooltip.hoverMe":"I dul mari","codex.stories.tooltip.largerOffset":"Qoraalka faahfaahinta leh waxa uu leeyahay fogaan ka wayn","codex.stories.tooltip.offsetButton":"Fogaan ka wayn","codex.stories.tooltip.shortcutButton":"Wadata qayb kooban","codex.stories.tooltip.withShortcut":"Beddel bixida","codex.taskRow.title":"Qaybta cusub","codex.taskRowLayout.confirm":"Xaqiiji","codex.threadFindBar.chatFilter":"Raadi wada sheekaysiga","codex.threadFindBar.close":"Xidh helida","codex.threadFindBar.diffFilter":"Raadi kala duwanaanshaha","codex.threadFindBar.label":"Hel qaybtan fariimaha","codex.threadFindBar.nextResult":"Natiijada xigta","codex.threadFindBar.noResults":"0 natiijooyinka","codex.threadFindBar.placeholder":"Raadi qaybta...","codex.threadFindBar.placeholder.extension":"Raadi qaybta...","codex.threadFindBar.placeholder.review":"Raadi kala duwanaanshaha...","codex.threadFindBar.placeholder.review.extension":"Raadi kala duwanaanshaha...","codex.threadFindBar.previousResult":"Natiijadii hore","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# faylka ayaa la beddelay} other {# faylashu way isbeddeleen}}","codex.unifiedDiff.inlineLargeFile":"Aad ugu wayn in lagu soo bandhigo gudaha bogga","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Ka-noqo","codex.unifiedDiff.revertPatchError":"Ku guul daraystay celinta isbeddelada","codex.unifiedDiff.revertPatchSuccess":"Isbeddelada waa la celiyay","codex.unifiedDiff.reviewChangesSuffix":"isbeddelada","codex.unifiedDiff.reviewShort":"Dib-u-eeg","codex.unifiedDiff.viewDiffTooltip":"Dib-u-eeg","codex.upsellBanner.business.headline":"Si loo helo gelid badan hadda, u soo dir codsi maamulahaaga, si loo sii wado, ama sug ilaa {resetDate}","codex.upsellBanner.cbp.headline":"Si loo helo gelid badan hadda, u soo dir codsi maamulahaaga.","codex.upsellBanner.cta.addCredits":"Ku dar Boondooyin","codex.upsellBanner.cta.upgradeAccount":"Casriyeey","codex.upsellBanner.cta.viewUsage":"Arag Isticmaalaha","codex.upsellBanner.free.trialHeadline":"Heerkaaga xadku waxa uu dib u bilaabmaa{resetDate}. Sii wad isticmaalka Codex iyo gelida GPT-5.3-Codex, billoow tijaabadaada bilaashka ah ee Plus maanda.","codex.upsellBanner.freeOrGo.headline":"Xadkaaga qiimaha wuxuu dib u bilaabmaa {resetDate}. Si aad u sii wadid isticmaalka Codex, ku cusbooneysii maanta Plus.","codex.upsellBanner.general.headline":"Xadkaaga qiimaha ayaa bilaabma {resetDate}.","codex.upsellBanner.general.title":"Waad ka baxsan tahay fariimaha Codex","codex.upsellBanner.go.trialHeadline":"Heerkaaga xadku waxa uu dib u bilaabmaa{resetDate}. Sii wad isticmaalka Codex, bilow tijaabadaada bilaashka ah ee Plus maanda.","codex.upsellBanner.plus.headline":"Xadka qiimahaaga wuxuu bilaabmaa {resetDate}. Si loo sii wado isticmaalka Codex, ku dar dhibcaha ama ku cusbooneysii maanta Pro.","codex.upsellBanner.pro.headline":"Xadka qiimahaaga wuxuu bilaabmaa {resetDate}. Ku dar dhibcaha si loo sii wado isticmaalka Codex hadda.","codex.userMessage.autoResolveSync":"Xalinta otomaatiga ah ee khilaafyada","codex.userMessage.commentCount":"{count, plural, one {# faallo} other {# faallooyinka}}","codex.userMessage.copiedAriaLabel":"La-koobiyeeyey","codex.userMessage.copiedTooltip":"La-koobiyeeyey","codex.userMessage.copyAriaLabel":"Koobiyee fariinta","codex.userMessage.copyTooltip":"Koobi-garee","codex.userMessage.implementPlan":"Hirgeli qorshaha","codex.userMessage.noContent":"Waxba kuma jiraan","codex.userMessage.priorConversation":"Tixraacyada ka hor wada sheekaysiga","codex.userMessage.reviewMode":"Qaabka dib u eegida","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"ku saabsan {query}","codex.webSearch.summary.verb.completed":"Raadiyay shabakada","codex.webSearch.summary.verb.inProgress":"Raadinaya shabakada","codex.windowsInstallWslBanner.dismiss":"Iska dhaaf","codex.windowsInstallWslBanner.installWslCta":"Fur sandbox","codex.windowsInstallWslBanner.learnMore":"Wax badan ka baro","codex.windowsSandboxBanner.content":"Qaabka wakiilku waxa uu isticmaalaa sandbox tijaabo ah ee Windows si loo xadido nidaamka faylka iyo gelida shabakada. {sandboxLink}","codex.windowsSandboxBanner.title":"Xidh sandbox ee qaabka Wakiilka","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Setinka Windows","codexUpgradeModal.body":"Xadkayaga u dambeeya ee moodeelka wakiilka koodh samayntal — ka wanaagsan, degdeg badan, oo awood badan leh xaga shaqada guud ee farsamada.{link}","codexUpgradeModal.close":"Xidh","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Wax badan ka baro","codexUpgradeModal.title":"Bilaabida GPT-5.3-Codex-Max","codexUpgradeModal.tryNewModel":"Isku day GPT-5.3-Codex hadda","codexUpgradeModal.useExistingModel":"Ku sii wad moodeelka hadda","commentAttachments.numComments":"{count, plural, one {# faallo} other {# faallooyinka}}","commentAttachments.removeAriaLabel":"Ka saar lifaaqa faallooyinka","common.close":"Xidh","composer.addContext.openFilePickerError":"Aan awoodin furida qaataha faylka","composer.addContextDropdown.ariaLabel":"Ku dar faylashada iyo wax badan","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Ku dar faylashada iyo wax badan","composer.addPhotosAndFiles":"Ku dar sawirada & faylasha","composer.atMentionList.emptyQuery":"Isku day raadinta faylasha","composer.atMentionList.loading":"Ka-raadinaya...","composer.atMentionList.noResults":"Majiraan natiijooyin","composer.attemptsSelector.option":"{count, plural, one {# nooca} other {# noocyada}}","composer.attemptsSelector.tooltip":"Tirada isku dayada siman ee Codex si loo sameeyo","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Jooji","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Maxali ah","composer.cloudFollowUp.whereRun":"Halkee ayay la socodkan ka socotaa?","composer.cloudTaskCreationError":"Cilada abuurida hawsha cloud","composer.cloudTaskError":"Cillad abuurida hawsha","composer.contextWindow.autoCompactionTooltipLine1":"Codex si toos ah waxay isugu dartaa xaalada","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Shaashada nuxurka","composer.contextWindowUsageStatusFull":"{usage}% buuxa","composer.contextWindowUsageStatusLeft":"{usage}% la isticmaalay ({remaining}% bidix)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k calaamadaha la isticmaalay","composer.customCliTooltip":"Isticmaalaya CLI caadiga ee la fulin karo","composer.dictation.aria":"Yeedhi","composer.dictation.cancel.aria":"Jooji yeedhiska","composer.dictation.cancel.tooltip":"Jooji yeedhiska","composer.dictation.startError":"Aan awoodin bilaabida yeedhiska","composer.dictation.submit.aria":"Qor codka oo dir","composer.dictation.submit.tooltip":"Qor codka oo dir","composer.dictation.tooltip":"Hay si aad u yeeriso","composer.dictation.transcribeError":"Aan awoodin qorida faylk maqalka ah","composer.dictation.unsupported":"Yeedhiska lagama heli karo qalabkan","composer.dropOverlay.holdShift":"Hay {key} ilaa dhibic","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Samee mid cusub","composer.environmentSelector.error":"Khaladka soo saarida deegaanka","composer.environmentSelector.goBack":"Dib ugu noqo sameeyaha","composer.environmentSelector.title":"Dooro deegaanka","composer.environmentSelector.tooltip":"Dooro deegaanka kalowdh","composer.feedbackSlashCommand.title":"Faallo celin","composer.filePicker.selectFile":"Dooro faylka","composer.filePicker.selectFiles":"Dooro faylasha","composer.followerTooltip":"Si loo sii wado, ku laabo shaashada halka wada sheekaysigu ka bilaabmay.","composer.footer.branchSwitch.checkoutError":"Ku fashilmay beddelka faraca: {message}","composer.footer.branchSwitch.createAndCheckout":"Samee oo hubi farac cusub…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Isbeddelada beddelka si loo sameeyo oo loo hubiyo farac cusub","composer.footer.branchSwitch.createBranchError":"Ku fashilmay samaynta faracan: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Magaca faraca","composer.footer.branchSwitch.createDialog.branchExistsError":"Faracu hadda ka hor wyu jiraa","composer.footer.branchSwitch.createDialog.close":"Xidh","composer.footer.branchSwitch.createDialog.createAndCheckout":"Samee oo hubi","composer.footer.branchSwitch.createDialog.placeholder":"faraca cusub","composer.footer.branchSwitch.createDialog.title":"Samee oo hubi farac","composer.footer.branchSwitch.createDialog.trailingSlashError":"Magaca faca ma dhammaan karto “/”.","composer.footer.branchSwitch.tooltip":"Beddel faraca","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Ku kaydi isbeddelada gudaha{fileCount, plural, one {# fayl} other {# faylasha}} si loo hubiyo{branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Hawsha dirida","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"isbeddelada gudaha{fileCount, plural, one {# fayl} other {# faylasha}} si loo hubiyo{branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Kansal","composer.footer.branchSwitch.uncommittedDialog.commit":"Kaydi oo beddel faraca...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Isbeddeladaada faylasha soo socda waxaa lagu waayi doonaa hubinta.","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Fadlan kaydi isbeddeladaada si loo sii wado","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"faraca la xushay","composer.footer.branchSwitch.uncommittedDialog.title":"Isbeddelada kaydka si loogu beddelo farac","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Aan la beddelin: {fileCount, plural, one {# fayl} other {# faylasha}}","composer.forkSlashCommand.description":"Qaybtan u koobiyee qayb goobta ama worktree cusub","composer.forkSlashCommand.option.local.description":"Ka sii soo qayb cusub goobta","composer.forkSlashCommand.option.local.title":"Samee koobiga goobta ah","composer.forkSlashCommand.option.worktree.description":"Ka sii wad gudaha worktree cusub","composer.forkSlashCommand.option.worktree.title":"U koobiyee worktree cusub","composer.forkSlashCommand.title":"Kala qaybi","composer.ideContextIndicator":"Macluumaadka IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Ku dar macluumaadka ka yimid","composer.ideContextIndicator.tooltipToggle":"si loo beddelo","composer.ideContextSlashCommand.disableDescription":"Demi macluumaadka IDE","composer.ideContextSlashCommand.enableDescription":"Ku dar xulashada hadda, fur faylasha, oo ku dar macluumaad ka yimid IDE gaaga","composer.ideContextSlashCommand.title":"Macluumaadka IDE","composer.imageInputsUnsupported":"Moodeelkan ma taageero ku darida sawirka. Isku day moodeel ka duwan.","composer.imageUploadFailed":"Ku guul daraystay soo gelinta sawirka","composer.includeIdeContextDropdown":"Ku dar macluumaadka IDE","composer.includeIdeContextDropdown.ariaLabel":"Ku dar macluumaadka IDE","composer.localCwdDropdown.addWorkspaceRoot":"Ku dar mashruuc cusub","composer.localCwdDropdown.noActiveRoot":"Dooro mashruucaaga","composer.localCwdDropdown.noResults":"Lama helin wax faylal ah","composer.localCwdDropdown.title":"Dooro mashruucaaga","composer.localTaskError":"Cilada bilaabida wada sheekaysiga","composer.mcpSlashCommand.description":"Tus heerka serferka MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Lama xaqiijin","composer.mcpStatus.authOauth":"La xaqiijiyay (OAuth)","composer.mcpStatus.authToken":"La xaqiijiyay (furaha API)","composer.mcpStatus.authUnsupported":"ISTUUDYO","composer.mcpStatus.close":"Xidh","composer.mcpStatus.disabled":"La xidhay","composer.mcpStatus.emptyLabel":"Serferada:","composer.mcpStatus.emptyValue":"Serferada MCP kuma xidhna","composer.mcpStatus.enabled":"La-furey","composer.mcpStatus.errorLabel":"Xaalada:","composer.mcpStatus.errorValue":"Aan awoodin soo gelinta heerka MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Wakiilka","composer.mode.agentMode.auto.dropdownLabel":"Wakiilka","composer.mode.agentMode.auto.optionLabel":"Wakiilka","composer.mode.agentMode.changePermission":"Beddel moodeelka","composer.mode.agentMode.custom":"Caadi ah","composer.mode.agentMode.custom.dropdownLabel":"Caadi ah","composer.mode.agentMode.custom.option":"Cadi (ku xidh.toml)","composer.mode.agentMode.custom.optionLabel":"Cadi (ku xidh.toml)","composer.mode.agentMode.customInfo.cancel":"Kansal","composer.mode.agentMode.customInfo.cli":"Waxaad ku habbayn kartaa setinka ka yimid CLI ama iyaddoo wax laga beddelayo faylka si toos ah.","composer.mode.agentMode.customInfo.confirm":"Isticmaal qaabka caadiga ah","composer.mode.agentMode.customInfo.description":"Qaabka caadiga ah waxa uu ka habboon yahay oggolaanshaha iyo xeerarka setinka lagu xadiday kaaga<link>config.toml</link> Fayl","composer.mode.agentMode.customInfo.docs":"Baro wax badan oo ku saabsan ku xidhida oggolaanshaha xeerarka qoran ee setinka<link>fulinta dhokumentiyada deegaanka</link>.","composer.mode.agentMode.customInfo.refresh":"Isbeddelo kasta waxa uu dhaqan galaa wakhtiga xigta marka wakiilku socdo.","composer.mode.agentMode.customInfo.title":"Sida qaabka caadiga ah u shaqeeyo","composer.mode.agentMode.fullAccess":"Wakiilka (gelida buuxda)","composer.mode.agentMode.fullAccess.dropdownLabel":"Wakiilka (gelida buuxda)","composer.mode.agentMode.fullAccess.optionLabel":"Wakiilka (gelida buuxda)","composer.mode.agentMode.fullAccessConfirm.caution":"Ku dhaqan feejignaan marka la furayo gelida buuxda. Tani si buuxda waxay u kordhisaa khatarta waayida xogta, liigida, ama dhaqan aan la filayn.","composer.mode.agentMode.fullAccessConfirm.confirm":"Haa, sii wad si kastaba ha ahaatee","composer.mode.agentMode.fullAccessConfirm.description":"Marka Codex uu wado gelida buuxda, waxbay ka beddeli kartaa fayl kasta oo kombuyuutarkaaga oo wad amarada wata shabakada, iyaddoon lahayn oggolaanshahaaga/","composer.mode.agentMode.fullAccessConfirm.goBack":"Kansal","composer.mode.agentMode.fullAccessConfirm.title":"Awood u sii gelida buuxda?","composer.mode.agentMode.readOnly":"Wada sheekaysi qoran","composer.mode.agentMode.readOnly.dropdownLabel":"Wada sheekaysi qoran","composer.mode.agentMode.readOnly.optionLabel":"Wada sheekaysi qoran","composer.mode.agentMode.tooltip":"Beddel moodeelka","composer.mode.agentMode.tooltip.auto":"Akhri oo wax ka beddel faylashada, oo wad amarada.","composer.mode.agentMode.tooltip.custom":"Isticmaal oggolaanshaha u dambeeyay iyo xeerarka isku xidhka gudaha ku xidhida.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex waxbuu ka beddeli karaa faylashada dibada mashruuca oo wad amarada wata gelida shabakada. Ku dhaqan feejignan marka aad isticmaalayso.","composer.mode.agentMode.tooltip.readOnly":"U baahan oggolaanshaha si wax looga beddelo faylasha iyo wadista amarada.","composer.mode.cloud.tooltip":"Ka shaqee deegaanka kalowdh","composer.mode.contactAdmin":"Si loo helo gelid badan, la xidhiidh maamulkaaga","composer.mode.local":"Maxali ah","composer.mode.local.learnMore":"Wax badan ka baro","composer.mode.local.model.custom":"Caadi ah","composer.mode.local.model.loadingModel":"Soo saaraya moodeelka","composer.mode.local.model.selecrReasoningEffort":"Dooro sababaynta","composer.mode.local.model.selectModel":"Dooro moodeel","composer.mode.local.model.tooltip":"Dooro qaabka","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Sare","composer.mode.local.reasoning.low.label":"Hoose","composer.mode.local.reasoning.medium.label":"Dhexdhexaad","composer.mode.local.reasoning.minimal.label":"Ugu yar","composer.mode.local.reasoning.none.label":"Midna","composer.mode.local.reasoning.xhigh.label":"Aas U saraysa","composer.mode.localRemoteWhereRun":"Dooro halka laga wadno hawsha","composer.mode.newTask.header":"Ka sii wad gudaha","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"Qiimee xadadka hadhay","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} xadka:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {Xadka todobaadlaha ah} other {{weeks} xadka todobaadka}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Todobaadle} other {{weeks} Todobaad}}","composer.mode.remote.connectToCloud":"Ku xidh shabakada Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Samee deegaanka addoo maraya shabakada Codex si aad ugu furto hawlaha dirida cloud","composer.mode.remote.selectEnvironment":"Dooro deegaanka","composer.mode.remote.sendToCloud":"U dir cloud","composer.mode.remote.setupViaWeb":"Ku shub barnaamijka gudaha addoo maraya shabakada Codex","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Ka shaqee gudaha deegaanka cloud","composer.mode.segmentedToggle.local.tooltip":"Ka shaqee mashruucaaga gidaha","composer.mode.segmentedToggle.worktree.tooltip":"Ka sahqee worktree siman","composer.mode.upgradeToPlus":"Sare-uqaad Plus","composer.mode.upgradeToPro":"Ku cusboonaysii ilaa Pro","composer.mode.workLocally":"Mashruuca gudaha","composer.mode.workLocally.currentBranchFallback":"faracaaga","composer.mode.workLocally.tooltip":"Ka shaqee {branchName}","composer.mode.worktree":"Worktree cusub","composer.mode.worktree.submoduleWarning":"Kaydkaan wuxuu leeyahay git submodules, Samaynta Worktree way fashilmi kartaa","composer.mode.worktree.tooltip":"Samee koobiga mashruuca si looga shaqeeyo si siman","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Beddelka moodeelada wada sheekaysiga dhexdiisa waxay hoos u dhigi doontaa bandhiga.","composer.newChat.heading.browser":"Maxaan koodh u samaynaynaa marka xigta?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex waxay isticmaashaa oggolaanshaha lagu qeexay config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex waxay si buuxda u soo geli kartaa kombuyuutarkaaga (khatarta sare loo qaaday)","composer.permissionsDropdown.custom.label":"Cadi (ku xidh.toml)","composer.permissionsDropdown.custom.optionLabel":"Cadi (ku xidh.toml)","composer.permissionsDropdown.default.label":"Oggolaanshe asal ah","composer.permissionsDropdown.default.optionLabel":"Oggolaanshe asal ah","composer.permissionsDropdown.default.tooltip":"Codex si toos ah waxay u wadaa amarada gudaha amarada la fuliyay.","composer.permissionsDropdown.disabled.requirements":"Oggolaanshaha waxaa xidha shuruudahaha.toml","composer.permissionsDropdown.fullAccess.disabled":"Gelida buuxda waxaa xidhay shuruudaha.toml","composer.permissionsDropdown.fullAccess.label":"Gelida buuxda","composer.permissionsDropdown.fullAccess.optionLabel":"Gelida buuxda","composer.permissionsDropdown.trigger.tooltip":"Beddel oggolaanshaha","composer.personalitySlashCommand.description.friendly":"Diiran, wada shaqayn leh, iyo caawimo badan","composer.personalitySlashCommand.description.pragmatic":"Kooban, hawsha xooga saaraya, iyo toos ah","composer.personalitySlashCommand.label.friendly":"Saaxiibtinimo leh","composer.personalitySlashCommand.label.pragmatic":"Dhab ah","composer.personalitySlashCommand.notApplicableSuffix":"(Ma quseeyo qaabka hadda)","composer.personalitySlashCommand.title":"Shakhsiyada","composer.placeholder.cloudFollowUp.directFollowUp":"La socodka hawsha kalowdhkan","composer.placeholder.cloudFollowUp.local":"Samee hawl cusub oo gudaha oo tixraacda hawshan cloud","composer.placeholder.cloudFollowUp.workingTree":"Samee hawl kalowdh ah oo ay ku jirto koodhkaaga hadda oo tixraaci doona hawshan.","composer.placeholder.localFollowUp.cloud":"La soco hawsha kalowdhka cusub","composer.placeholder.localFollowUp.locally":"Waydii isbeddelada la socodka","composer.placeholder.newTask.cloud":"Waydii Codex inay qabato shay kasta gudaha kalowdhka","composer.placeholder.newTask.doAnything":"Waydii Codex inay qabato shay kasta","composer.placeholder.newTask.locally":"Waydii Codex wax kasta, @ si loogu daro faylasha, / amarada","composer.planModeDropdown":"Qaabka qorshaha","composer.planModeDropdown.ariaLabel":"Qaabka qorshaha","composer.planModeIndicator":"Qorshaha","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Ku samee qorshaha Codex","composer.planModeIndicator.tooltipToggle":"si loo beddelo","composer.planSlashCommand.disableDescription":"Demi qaabka qorshaha","composer.planSlashCommand.enableDescription":"Daar qaabka qorshaha","composer.planSlashCommand.title":"Qaabka qorshaha","composer.priorContext.label":"Xaalada hore","composer.priorContext.removeAriaLabel":"Ka saar xaaladaha hore","composer.queuedMessage.delete":"Tirtir fariinta safka ku jirta","composer.queuedMessage.edit":"Tifatir fariin","composer.queuedMessage.more":"Falalka fariinta safka ku jirta","composer.queuedMessage.sendNow":"Hagid","composer.queuedMessage.sendNowTooltip":"Dir hadda addoon faro gelin shaqada","composer.queuedMessage.turnOff":"Demi saf ku jirida","composer.reasoningEffort.local.reasoning.tooltip":"Dooro  dedaalka sababaynta","composer.remote.branchStartingPoint":"Faracee ayaa hawsha ka bilaabantaa?","composer.remote.branchesSectionHeading":"Faracyada","composer.remote.currentEditsSuffix.followUp":"Samee hawl cusub oo tixraacda hawshan cloud","composer.remote.currentEditsSuffix.useLocal":"wata isbeddelada koodhka gudaha","composer.remote.directFollowUp":"Isticmaalin isbeddelada koodhka gudaha","composer.remote.errorLoadingBranches":"Cillad lagala kulmey soo rarida faracyada","composer.remote.fromBranch":"Laga bilaabo {branch}","composer.remote.fromCurrentBranch":"Ka yimid {branch} (chadda)","composer.remote.loadingMoreBranches":"Soo-rarmaya…","composer.remote.localFileStateHeading":"Xaalada faylka gudaha","composer.remote.localWorkingTree":"isticmaal isbeddelada gudaha","composer.remote.startingPoint":"Koodhkee ayaa hawsha ka bilaabantaa?","composer.reviewMode.branches.error":"Aan awoodin soo gelinta faracyada","composer.reviewMode.branches.retry":"Dib isugu day","composer.reviewMode.gitRoot.error":"Git root lama helin","composer.reviewMode.option.baseBranch.simple":"Dib u eeg si ku lid ah faraca bilowga ah","composer.reviewMode.option.unstaged.simple":"Dib u eeg isbeddelada aan la bixin","composer.reviewMode.quickReviewError":"Ku fashilmay bilaabida qiimaynta koodhka","composer.reviewMode.title":"Dib u eegida koodhka","composer.sandboxButton.unlock.disabled.tooltip":"Gelida buuxda waxaa xidhay shuruudaha.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex waxa uu isticmaalaa goobta tijaabinta tijaabo ah ee Windows si loo xadido nidaamka faylka iyo gelida shabakada. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Fur goobta tijaabada ee Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Isticmaal akhri keliya","composer.searchEnvironments":"Raadi deegaanada","composer.skillMentionList.app":"Abka","composer.skillMentionList.loading":"Soo saaraya xirfadaha...","composer.skillMentionList.noResults":"Wax xirfad ah lama helin","composer.slashCommands.cloudEnvironment.title":"Barnaamijka deegaanka clous","composer.slashCommands.dialogLabel":"Liiska amarka islaash","composer.slashCommands.dialogTitle":"Amarada islaash","composer.slashCommands.disabledTooltip":"Bilow wada sheelaysi cusub si loo isticmaalo amarada islaash","composer.slashCommands.inputPlaceholder":"Raadi","composer.slashCommands.noResults":"ma jiraan amaro","composer.slashCommands.skillsGroup":"Xirfadaha","composer.slashCommands.tooltip":"Baadh amarada islaashta","composer.status.close":"Xidh","composer.statusPlain.alertLabel":"Digniin:","composer.statusPlain.alertValue":"{remaining}% bidixda {window}","composer.statusPlain.contextLabel":"Nuxurka:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} isticmaalay / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% bidix","composer.statusPlain.heading":"Xaalada","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} xadka:","composer.statusPlain.rateLimitDays":"{count}d xadka","composer.statusPlain.rateLimitFallbackLabel":"Xadka Heerka:","composer.statusPlain.rateLimitHours":"{count}h xadka","composer.statusPlain.rateLimitLabelBase":"Xadka heerka","composer.statusPlain.rateLimitMinutes":"{count}m xadka","composer.statusPlain.rateLimitPercent":"{remaining}% bidix","composer.statusPlain.rateLimitReset":"Dib u bilaaba{time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"wakhtiga dib u bilowga lama heli karo","composer.statusPlain.rateLimitUnavailable":"Aan la heli karin","composer.statusPlain.sessionCopiedAriaLabel":"Aqoonsiga kullanka la koobiyeeyay","composer.statusPlain.sessionCopiedTooltip":"Aqoonsiga La koobiyeeyay","composer.statusPlain.sessionCopyAriaLabel":"Koobiyee aqoonsiga kullanka","composer.statusPlain.sessionCopyTooltip":"Koobiyee Aqoonsiga","composer.statusPlain.sessionLabel":"Kullanka:","composer.statusSlashCommand.description":"Tus liidka qaybta, isticmaalka xaalada, iyo xadadka qiimaha","composer.statusSlashCommand.title":"Xaalada","composer.submit.blockedDialogOk":"Waayahay","composer.submit.blockedDialogTitle":"Aan awoodin dirida fariinta","composer.submit.emptyMessage":"Geli fariinta si loo bilaabo","composer.submit.imageInputsUnsupported":"Ka saar sawirada ama beddel moodeelada si loo diro fariintan.","composer.submit.loadingLocalConfig":"Soo-rarmaya…","composer.submit.missingCloudConfig":"Waa inaad doroataa barnaamijka deegaanka cloud","composer.submit.missingCloudTurn":"Lama socon karo hawshan","composer.submit.noWorkspace":"Ku dar mashruuca si loo isticmaalo Codex","composer.submit.waitForImageUploads":"Sawirka la soo gelinayo…","composer.submitButtonTooltip.send":"Dir","composer.submitButtonTooltip.stop":"Jooji","composer.worktreeEnvironment.create":"Samee deegaanka gudaha","composer.worktreeEnvironment.default":"Nidaamka asal ahaan otomamatiga ah","composer.worktreeEnvironment.error":"Khaladka soo saarida deegaanka","composer.worktreeEnvironment.loading":"Soo saarida nidaamka deegaanka…","composer.worktreeEnvironment.title":"Nidaamka deegaanka gudaha","composer.worktreeEnvironment.tooltip":"Dooro nidaamka deegaanka gudaha","composer.worktreeSetupFailed":"Ku shubida worktree wuu fashilmay. Hubi codex/deegaanada wixii ah ku shubida barnaamijka.","compoundButton.secondaryAction":"Qaybta labbaad","copyButton.copied":"La-koobiyeeyey","copyButton.copiedAriaLabel":"La-koobiyeeyey","copyButton.copy":"Koobi-garee","copyButton.copyAriaLabel":"Koobi-garee","copyButton.copyCode":"Koobi-garee koodh","diff.actionButton.revertFile":"Ka noq faylka","diff.actionButton.revertHunk":"Ku noqo...","diff.actionButton.revertSection":"Ka noqo dhammaan","diff.actionButton.revertSectionLabel":"Ka noqo dhammaan","diff.actionButton.stageFile":"Diyaari faylka","diff.actionButton.stageHunk":"Diyaari","diff.actionButton.stageSection":"Diyaari dhammaan","diff.actionButton.stageSectionLabel":"Diyaari dhammaan","diff.actionButton.unstageFile":"Ka saar faylka","diff.actionButton.unstageHunk":"Ka saar","diff.actionButton.unstageSection":"Ka saar dhammaan","diff.actionButton.unstageSectionLabel":"Ka saar dhammaan","diff.fileHeader.toggle":"Ku beddel fayl ka duwan","electron.onboarding.login.apikey.cancel":"Kansal","electron.onboarding.login.apikey.continue":"Sii wad","electron.onboarding.login.apikey.label":"Furaha OpenAI API","electron.onboarding.login.apikey.open":"Geli furaha API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Tirtir soo gelida","electron.onboarding.login.chatgpt.continue":"Kusii wad ChatGPT","electron.onboarding.login.devbox":"Ku xidh SSH fog","electron.onboarding.login.error":"Galida waa fashilantay: {rawMessage}","electron.onboarding.login.snake.start":"Ciyaar Snake","electron.onboarding.login.sshConfig.cancel":"Kansal","electron.onboarding.login.sshConfig.continue":"Sii wad","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Qaabka ugu wanaagsan ee lagu dhiso wakiilo","electron.onboarding.login.title":"Ku soo dhawow Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Sii wad","electron.onboarding.welcome.doubleLimits.description":"Dabaal dega bilaabida aabka Codex, waxaad haysataa xadadka qiimaha 2x oo illaa Abriil 2.","electron.onboarding.welcome.freego.description":"Codex waxaa lagu daray qorshagaaga bilaash ahaan ilaa Maarso 2 deeda -- aan billoowno wada dhisida.","electron.onboarding.welcome.new.title.anon":"Soo dhawow!","electron.onboarding.workspace.continue":"Sii wad","electron.onboarding.workspace.empty":"Ku dar mashruuca si loo sii wado.","electron.onboarding.workspace.listLabel":"Mashruucayada la heli karo","electron.onboarding.workspace.loading":"Soo saaraya mashruucyada","electron.onboarding.workspace.openFolder":"Ku dar Mashruuca","electron.onboarding.workspace.selectAll":"Dooro dhammaan","electron.onboarding.workspace.skip":"Ka bood","electron.onboarding.workspace.skip.error":"Samayn kari waayay mashruuc cusub: {message}","electron.onboarding.workspace.skip.error.unknown":"Cillad aan la garaneyn","electron.onboarding.workspace.skipping":"Samaynaya mashruuc cusub...","electron.onboarding.workspace.subtitle":"Codex waxaa u suurtogaleyso inay wax ka badelaan feelasha oo maareeyaan galalka la doortay.","electron.onboarding.workspace.title":"Dooro mashruuca","errorPage.list.checkSettings":"Isku day cusbooneysiinta setinkaaga IDE","errorPage.list.configToml":"Ka hubi config.tom kaaga wixii ah setin aan ansax ahayn","errorPage.list.downloadExtension":"Isku day soo dejinta nooc ka duwan ee kordhinta","errorPage.list.runInWsl":"Hubi setinkaaga si aad u xidho wadista gudaha WSL haddii aad arkayso arrimaha waafaqsanaanta","execApprovalRequest.menu.runAlways":"Haa, oo ma waydiinaysid mar labbaad kullankan","execApprovalRequest.menu.runAlwaysWithAmendment":"Haa, oo ha weydiin markale oo amarada ku billoowdo {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Haa, oo ha waydiin markale amarada ku bilawdo","execApprovalRequest.menu.runOnce":"Haa","execApprovalRequest.prompt":"Ma doonaysaa inaad wado amarkan?","execApprovalRequest.reject":"Maya","execFooter.exitCode":"Koodhka bixida {code}","execFooter.exitCode.unknown":"la garaneyn","execFooter.success":"Guusha","feedback.dialog.category.badResult":"Natiijo xun","feedback.dialog.category.bug":"Cilad","feedback.dialog.category.goodResult":"Natiijo wanaagsan","feedback.dialog.category.other":"Kale","feedback.dialog.descriptionPlaceholder":"Ku faahfaahi arrinka halkan","feedback.dialog.dismiss":"Iska dhaaf","feedback.dialog.includeLogsLabel":"Ku dar diiwaanada kulladan hadda Codex","feedback.dialog.submit":"Gudbi","feedback.dialog.submitError":"Waanu gudbin kari waynay faalo celintaada. Fadlan isku day mar labbaad daqiiqad gudaheed.","feedback.dialog.title":"Faallo celin","feedback.dialog.uploadedMessage.existingIssue":"dhiba furan ee jirta","feedback.dialog.uploadedMessage.openIssue":"Fur arrinta GitHub","feedback.dialog.uploadedMessage.withThread":"Faallo celinta la soo geliyay. Haddii dhibaatadu sii jirto, fadlan {openIssueLink} ama sheeg aqoonsiga liidka {existingIssueLink}:","feedback.dialog.uploadedTitle":"Faallo celinta waa la soo geliyay","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Saar {filename}","header.back":"Laabo","header.recentChats":"Hawlaha","header.recentTasks.seeAll":"Arag dhammaan ({total})","home.header.getPlus":"Hel Plus","home.hero.letsBuild":"Aan dhisno","homePage.mainContent":"Macluumaadka wayn","imageAttachment.defaultName":"Sawir","imageAttachment.preview.close":"Xidh sawirka muuqaalka kooban","imageAttachment.removeAriaLabel":"Saar {filename}","implementPlanRequest.option.implement":"Haa, hirgeli qorshahan","implementPlanRequest.prompt":"Ku hirgeli qorshahan?","inbox.archived.deleteError":"Tirtiri kari waayay wadista la kaydiyay","inbox.archived.deleteRun":"Tirtir wadista la kaydiyay","inbox.archived.deleteSuccess":"Qaybta macluumaadka la seyf gareeyay la tirtiray. Arag gudaha <settingsLink> Qaybaha la seyf gareeyay </settingsLink>.","inbox.archived.inlineLabel.auto":"Fariimahaan taxanaha ayaa si toos ah loo keydiyay. <learnMoreLink>Baro wax badan</learnMoreLink>","inbox.archived.inlineLabel.manual":"Qaybtan waa la kaydiyay.","inbox.archived.noMessageFound":"Lama helin fariinta","inbox.automations.createError":"Samayn kari waa wayn otomaatig","inbox.automations.deleteConfirm.cancel":"Kansal","inbox.automations.deleteConfirm.confirm":"Tirtir otomaatiga","inbox.automations.deleteConfirm.description":"Tani si joogta ah waxay u tirtiri doontaa otomaatiga oo ay joojisaa socod kasta mustaqbalka.","inbox.automations.deleteConfirm.title":"Tirtir {name}?","inbox.automations.deleteError":"Tirtiri kari waayay otomaatiga","inbox.automations.editTooltip":"Wax ka beddel qaabka otomaatiga ah","inbox.automations.inProgress":"Socda","inbox.automations.new":"Cusub","inbox.automations.newToolbar":"Qaab otomaatig ah oo cusub","inbox.automations.pauseTooltip":"Jooji otomaatiga","inbox.automations.resumeTooltip":"Dib u billoow otomaatiga","inbox.automations.startingNow":"Bilaabaya hadda","inbox.automations.startsIn":"waxay bilaabmayaan {startTime}","inbox.automations.status.active":"Shaqaynaya","inbox.automations.status.paused":"La-joojiyey","inbox.automations.status.runs":"{count} socodyada","inbox.automations.status.started":"Bilaabay {date}","inbox.automations.updateError":"Cusboonaysiin kari waa wayn otomaatig","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Dhammaan","inbox.filter.ariaLabel":"Shaandhee sheeyada bogoska","inbox.filter.unread":"Aan la akhriyin","inbox.list.archived":"La kaydiyey","inbox.list.inProgress":"Socda","inbox.list.recent":"La dhammaystiray","inbox.list.upNext":"La qorsheeyay","inbox.mode.automations":"Otomaatiga","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Lama bixin faahfaahin","inbox.openThread":"Fur qaybta fariimaha","inbox.rightPanel.emptySubtitle":"Otomaatig ka dhig shaqada addoo samaynaya hawlo la qorsheeyay","inbox.rightPanel.emptySubtitle.learnMore":"Otomaatig ka dhig shaqada adoo hagaajinayo qaybaha la jadwaleeyay <link>Wax badan ka baro</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# otomaatiga shaqaynayaa} other {# otomaatigyo shaqaynayaa}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Ma jiraan otomaatigyo aan la akhrin","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# otomaatig aan la akhriyin} other {# otomaatigyo aan la akhrin}}","inbox.rightPanel.emptyTitle":"Shay lama dooran","inbox.rightPanel.noThread":"Ma jirto qaybta fariimaha shaygan","inbox.rightPanel.quickStart.header":"Ku bilow feel","inbox.untitled":"Shay aan cinwaan lahayn bogoska","loadingPage.documentationLink":"Caddaymaha","loadingPage.errorDescription":"Codex waxay ku baaba’day cilada soo socota:","loadingPage.errorDescription.documentation":"Riix dib u soo saar si aad dib ugu bilowdo kordhinta Codex, ama booqo kaayaga {documentationLink}wixii caawimo dheeraada ah.","loadingPage.errorSignal":"Shay la isku deyayo:","loadingPage.errorTitle":"Cilad ayaa dhacday","loadingPage.openConfigToml":"Fur Config.toml","loadingPage.reload":"Dib u soo kici","localConversation.contextCompacted":"Xaalada si toos ah la isugu xidhay","localConversation.contextCompacting":"Si toos ah isku xidhaxaaladahaya","localConversation.forkedFromConversation":"Laga soo koobiyeeyay {threadTitle}","localConversation.merge.autoResolve.failed":"Ku fashilmay codisa otomaariga ah si loo xaliyo: {error}","localConversation.merge.autoResolve.sent":"Codsiga otomatig u xalinta waa la diray","localConversation.merge.autoResolveMerge.missingConversation":"Aan awoodin otomaatig u xalinta iyaddoon lahayn wada sheekaysi shaqaynaya.","localConversation.merge.autoResolveMerge.request":"Otomaatig u xalil khilaafyada isku jirka ah","localConversation.modelChanged":"Moodeelka laga soo beddelay {fromModel} ilaa {toModel}.","localConversation.modelChanged.warning.line1":"Beddelka moodeelada wada sheekaysiga dhexdiisa waxay hoos u dhigi doontaa bandhiga.","localConversation.modelChanged.warning.line2":"Macluumaadku si toos ah ayuu isugu xidhmaa.","localConversation.moveThread.createBranch.label":"Samee farac","localConversation.moveToLocal.disabled.loading":"Soo-rarmaya…","localConversation.moveToLocal.modal.continue":"Sii wad","localConversation.moveToLocal.modal.destinationLabel":"U dhaqaaq","localConversation.moveToLocal.modal.retry":"Dib isugu day","localConversation.moveToWorktree.modal.back":"Laabo","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Faracu hadda ka hor wyu jiraa","localConversation.moveToWorktree.modal.branchesError":"Aan awoodin soo gelinta faracyada","localConversation.moveToWorktree.modal.branchesLoading":"Soo saaraya faracyada...","localConversation.moveToWorktree.modal.branchesRetry":"Dib isugu day","localConversation.moveToWorktree.modal.continue":"Sii wad","localConversation.moveToWorktree.modal.retry":"Dib isugu day","localConversation.moveToWorktree.modal.trailingSlashError":"Magaca faca ma dhammaan karto “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"faraca cusub","localConversation.personalityChanged":"Loo bedelay {personality} shakhsi ahaan","localConversation.planSummary.collapse":"Qari qorshaha kooban","localConversation.planSummary.collapseTooltip":"Dumi","localConversation.planSummary.download":"Soo deji qorshaha","localConversation.planSummary.expand":"Ballaadhi qorshaha kooban","localConversation.planSummary.expandTooltip":"Ballaari","localConversation.planSummary.openInNewWindow":"Fur","localConversation.planSummary.openInNewWindow.tooltip":"Ka fur shaashada cusub","localConversation.planSummary.title":"Qorshaha","localConversation.planSummary.titleWriting":"Qorshaha qorida","localConversation.planSummary.viewPlan":"Balaadhi qorshaha","localConversation.remoteTaskCreated":"Lagu sameeyay {taskLink} gudaha Codex Cloud","localConversation.remoteTaskCreated.task":"hawsha","localConversation.scrollToBottomButton":"Hoos u dhaadhac","localConversation.sync.buttonLabel":"Sii hawsha koox gudaha ah","localConversation.sync.buttonLabel.tooltip":"isbadelada dhiibida u dhexeeya worktree gan iyo hubinta gudaha.","localConversation.sync.modal.loading.title":"Dhiibaya isbadelada...","localConversation.sync.modal.noChanges":"Ma jiraan isbadelo","localConversation.syncSetup.branchAriaLabel":"Magaca faraca","localConversation.syncSetup.branchName":"Magaca faraca","localConversation.syncSetup.branchPlaceholder.existing":"Dooro faraca jira","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Soo saaraya faracyada...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Hadda ka hor la hubiyay","localConversation.syncSetup.checkoutClean":"Hadda {branchName}","localConversation.syncSetup.checkoutDirty":"Hadda {branchName} isbadelada aan la beddelin","localConversation.syncSetup.checkoutError":"Ku fashilmay in la hubiyo faraca:{message}","localConversation.syncSetup.checkoutLabel":"Ka eeg maxali ahaan hadda","localConversation.syncSetup.checkoutOnLocal":"Sii hawsha koox gudaha ah","localConversation.syncSetup.checkoutPending":"Hubinaya heerka maxaliga...","localConversation.syncSetup.checkoutUnavailable":"Goobaha shaqada lama heli karo","localConversation.syncSetup.checkoutUnknown":"Faraca maxaliga ah lama heli karo","localConversation.syncSetup.continue":"Sii wad","localConversation.syncSetup.createBranchError":"Ku fashilmay dejinta dhiibida faraca: {message}","localConversation.syncSetup.error":"Waxbaa qaldamay: {message}","localConversation.syncSetup.error.workingTreeMissing":"Aan awoodin ka qaadida sawir yar worktree. Fadlan isku day dhiibida hawsha mar labbaad.","localConversation.syncSetup.mode.ariaLabel":"Dooro qaabka faraca","localConversation.syncSetup.mode.existing":"Faraca jira","localConversation.syncSetup.mode.new":"Faraca cusub","localConversation.syncSetup.noBranches":"Lama helin faracyada","localConversation.syncSetup.overwriteError":"Faraca waa la sameeyay laakiin si buuxda looma dhiibin, U dhiib qoraal ahaan ka hor inta aan guda ahaan la hubin.","localConversation.syncSetup.setPrefix":"Deji erayga ka horeeya","localConversation.syncSetup.subtitle":"Tijaabi oo wax ka beddel isbadelada worktree gudaha. <a>Wax badan baro</a>","localConversation.syncSetup.success.checkedOut":"Faraca waxaa la sameeyay oo waxaa loo eegay si maxali ah","localConversation.syncSetup.success.notCheckedOut":"Faraca waa la sameeyay","localConversation.syncSetup.title":"U dhiibida faraca maxaliga ah","localConversation.syncWorktreeError.branchAriaLabel":"Magaca faraca","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Dooro farac si loo dhiibo, ka dibna isku day soo saarida isbadelada.","localConversation.syncWorktreeError.branchSetup.title":"Cusboonaysii faraca","localConversation.syncWorktreeError.branchUpdate.cta":"Cusbooneysii oo mar labbaad isku day","localConversation.syncWorktreeError.branchUpdate.error":"Ku guul daraystay cusbooneysiinta faraca: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Waxbaa qaldamay: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Laanta lagama bixiyo worktree walba.","localConversation.syncWorktreeV2.applyUncommitted":"Codso","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Waa inaad eegtaa faraca gudaha si loo adeegsado isbadelada aan la kaydin.","localConversation.syncWorktreeV2.branches.empty":"Lama helin faracyada","localConversation.syncWorktreeV2.branches.loading":"Soo saaraya faracyada...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"IsBadelka faraca dhiibida","localConversation.syncWorktreeV2.changeBranch.error":"Ku fashilmay Badelka dhiibida faraca: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Adeegsiga wuu fashilmay","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Badelka faylasha worktree way fashilantay","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Badelka gudaha wuu fashilmay","localConversation.syncWorktreeV2.commandError.back":"Laabo","localConversation.syncWorktreeV2.commandError.body":"Amarka git wuu fashilmay marka la dhiibayay hawsha. Dib u eeg natiijada oo isku day mar labbaad.","localConversation.syncWorktreeV2.commandError.retry":"Dib isugu day","localConversation.syncWorktreeV2.description":"isbadelada dhiibta u dhexeeya maxaliga ah iyo worktree gan <a>Baro wax badan</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Dooro tilmaanta dhiibida hawsha","localConversation.syncWorktreeV2.error.generic":"Waxbaa khaldamay marka la dhiibayo hawsha. Isku day mar labbaad.","localConversation.syncWorktreeV2.localBranchLabel":"Maxali ah","localConversation.syncWorktreeV2.noChanges":"Xisaabinta isbadelada","localConversation.syncWorktreeV2.noChanges.summary":"Ma jiraan isbadelo","localConversation.syncWorktreeV2.overwrite.local":"Badelka faylka gudaha","localConversation.syncWorktreeV2.overwrite.worktree":"Badelka faylka worktee","localConversation.syncWorktreeV2.partial.action.applyFailed":"Adeegsan kari waayay isbeddelada","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Beddeli kari waayay isbeddealda gudaha","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Beddeli kari waayay isbadelada worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"La adeegsaday","localConversation.syncWorktreeV2.partial.back":"Laabo","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Xalil khilaafyada oo isku day mar kale","localConversation.syncWorktreeV2.partial.conflictsLabel":"Khilaafyada","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fayl} other {# faylasha}}","localConversation.syncWorktreeV2.partial.retry":"Dib isugu day","localConversation.syncWorktreeV2.partial.skippedLabel":"Ka booday","localConversation.syncWorktreeV2.stateFailed.generic":"Waxbaa khaldamay marka la keenayay isbadelada worktree si loo dhiibo. Fadlan isku day mar labbaad.","localConversation.syncWorktreeV2.stateFailed.title":"Ku fashilmay soo saarida isbadelada worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Ku guul daraystay soo saarida isbadelada worktree.","localConversation.syncWorktreeV2.statusError.retry":"Dib isugu day","localConversation.syncWorktreeV2.statusError.title":"Aan awoodin soo saarida isbadelada faraca maxaliga ah","localConversation.syncWorktreeV2.statusError.unknown":"Heerka faraca lama heli karo hadda, Isku dar mar labbaad.","localConversation.syncWorktreeV2.success.apply":"Si guul ah u adeegsaday isbadelada","localConversation.syncWorktreeV2.success.overwrite":"Dhiibida waa lagu guuleystay","localConversation.syncWorktreeV2.title":"isbadelada dhiibida","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Waydiinaya {count, plural, one {su’aal} other {su’aalaha}}","localConversation.userInputRequest.noAnswer":"Jawaab lama bixin","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Waydiiyay","localConversation.userInputRequest.summary.count":"{count, plural, one {# su’aal} other {# su’aalaha}}","localConversation.workedFor":"Loo shaqeeyay {time}","localConversation.worktreeBranchSetup.action.create":"Abuur","localConversation.worktreeBranchSetup.branchAriaLabel":"Magaca faraca","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Abuur farac cusub","localConversation.worktreeBranchSetup.checkoutDisabled":"Faracan hadda ka hor waa la eega {location}","localConversation.worktreeBranchSetup.checkoutError":"Ku fashilmay in la hubiyo faraca:{message}","localConversation.worktreeBranchSetup.createBranchError":"Ku fashilmay samaynta faraca: {message}","localConversation.worktreeBranchSetup.error":"Waxbaa qaldamay: {message}","localConversation.worktreeBranchSetup.subtitle":"Samee faraca isbeddelada beddelka, riixida, iyo samaynta PR worktree gan. <a>Baro wax badan</a>","localConversation.worktreeBranchSetup.title":"Ka shaqee halkan","localConversationPage.addWorktreeToSidebar.tooltip":"U kaydi sidii mashruuca markaas waxaad isticmaali kartaa qaybo ka mid ah worktree gan","localConversationPage.addWorktreeToSidebarError":"Ku guul daraystay in lagu daro mashruuca","localConversationPage.commitAndCreatePrModal.errorTitle":"Beddel iyo samayska PR waa fashilmay","localConversationPage.commitAndCreatePrModal.successTitle":"La beddelay iyo PR la sameeyay","localConversationPage.commitAndPushModal.errorTitle":"Beddelka iyo riixidu way fashilantay","localConversationPage.commitAndPushModal.successTitle":"La beddelay iyo isbeddeladay la riixay","localConversationPage.commitCreatePr.open":"Fur qaabka maamulka codsiga","localConversationPage.commitCreatePr.successTitle":"PR lagu sameeyay isbeddeladaadii u dambeeyay","localConversationPage.createBranchButtonLabel":"Faraca halkan","localConversationPage.createPrModal.baseBranch":"Salka","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Abuur PR","localConversationPage.createPrModal.createDescription":"Fur codsiga beddelka ee isbeddeladaadii u dambeeyay.","localConversationPage.createPrModal.errorTitle":"Beddelka codsigu wuu fashilmay","localConversationPage.createPrModal.headBranch":"Madax","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Fur PR","localConversationPage.createPrModal.successTitle":"Codsiga isku darka waa la sameeyay","localConversationPage.createPrModal.title":"Arag codsiga jiidista","localConversationPage.createPrModal.viewDescription":"Codsiga isbeddelka hadda ka hor wuu jiraa waaxdan","localConversationPage.createPrModal.viewTitle":"Isbeddelka codsiga waa diyaar","localConversationPage.createPullRequestAuthGh":"Xaqiiji GitHub CLI: wad `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Macluumaadka faraca lama heli karo","localConversationPage.createPullRequestButtonLabel":"Abuur PR","localConversationPage.createPullRequestButtonLabel.loading":"Abuuraya PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Macluumaadka asalka ah ee faraca lama heli karo","localConversationPage.createPullRequestError":"Ku guul daraystay inuu sameeyo codsiga isku jirka ah","localConversationPage.createPullRequestExistingPullRequest":"Codsiga isbeddelka hadda ka hor wuu jiraa waaxdan.","localConversationPage.createPullRequestGhStatusMissing":"Soo saarida heerarka GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Ku shub GitHub CLI (gh) si loo sameeyo PR yada","localConversationPage.createPullRequestNoRepo":"Lama helin wax kaydka git ah","localConversationPage.createPullRequestPushStatusMissing":"Soo saaraya heerka natiijada...","localConversationPage.createPullRequestSetUpstream":"Beddel faracan ka hor samaynta PR.","localConversationPage.createPullRequestSuccessToast":"Codsiga isku darka waa la sameeyay","localConversationPage.createPullRequestSwitchBranch":"Beddel sifada faraca ka hor samaynta PR","localConversationPage.error.render":"Cilada soo saarida qoraalka xogta wada sheekaysiga","localConversationPage.error.toast":"Wada-sheekeysi lama helin","localConversationPage.forcePushError":"Ku guul dareystey inuu awood ku riixo","localConversationPage.generatePullRequestMessageError":"Ku guul daraystay soo saarista ciwaanka codsiga badelka iyo jirka","localConversationPage.generatePullRequestMessageFailed":"Ku guul daraystay soo saarista ciwaanka codsiga badelka iyo jirka.","localConversationPage.gitActionResult.branch":"Faraca","localConversationPage.gitActionResult.cancel":"Kansal","localConversationPage.gitActionResult.close":"Xidh","localConversationPage.gitActionResult.tryAgain":"Iskuday markale","localConversationPage.gitActions":"Falalka Git","localConversationPage.newChat":"Wada sheekeysi cusub","localConversationPage.openInTarget":"Ka fur","localConversationPage.openPrimaryTarget":"Fur","localConversationPage.planItemsCompleted":"{completedItems} ka baxsan {totalItems, plural, one {# hawsha la dhammaystiray} other {# hawlaha la dhammaystiray}}","localConversationPage.pushAuthError":"Riixida way fashilan: waa loo baahan yahay","localConversationPage.pushBranchMissing":"Macluumaadka faraca lama heli karo","localConversationPage.pushButtonLabel":"Riix","localConversationPage.pushButtonLabel.loading":"Riixaya...","localConversationPage.pushError":"Ku fashilmay dirida isbeddelada","localConversationPage.pushModal.branchLabel":"Faraca","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Kansal","localConversationPage.pushModal.confirm":"Riix","localConversationPage.pushModal.description":"U riix isbeddeladii u dambeeyaya kaydka fog.","localConversationPage.pushModal.errorTitle":"Riixidu way fashilantay","localConversationPage.pushModal.forcePush":"Riixid xoog ah","localConversationPage.pushModal.successTitle":"Riixidu way dhammaatay","localConversationPage.pushModal.title":"Riix isbeddelada","localConversationPage.pushModal.tryAgain":"Iskuday markale","localConversationPage.pushNoUpstream":"Ku xidh qayb fog ka hor riixida faracan","localConversationPage.pushNoUpstreamError":"Riixida way fashilan: kuma xidhna qaadista sare iyo hoos","localConversationPage.pushNothingToPush":"Ma jiro kayd cusub oo la beddelayo","localConversationPage.pushRemoteChangedError":"Riixida way fashilan: fogaantu waxay leedahay dirid cusub","localConversationPage.pushRemoteRejectedError":"Riixida waxaa lagu diiday fogaan","localConversationPage.pushStatusMissing":"Soo saaraya heerka natiijada...","localConversationPage.pushSuccessToast":"Isbeddelada la riixay","localConversationPage.viewPullRequestButtonLabel":"Arag PR","localConversationPage.viewPullRequestButtonLabel.loading":"Soo galayo codsiga pull…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fayl} other {# faylasha}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liiska} other {# Liisaska}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# raadin} other {# raadinta}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Sahaminaya","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Sahamiyay","localConversationTurn.exploration.accordion.header.complete.withCounts":"Sahamiyay {counts}","localConversationTurnStory.showContent":"Tusi tusmada","localConversationTurnStory.streamContent":"Tusmada baahinta","localConversationTurnStory.toggleReasoning":"Muuji sababta","localTaskRow.archiveError":"Ku guul daraystay kaydinta wada sheekaysiga","localTaskRow.resumeError":"Ku guul daaystay dib u bilaabida hawsha","mermaidDiagram.ariaLabel":"Shaxda Mermaid","mermaidDiagram.copySource":"Koobiyee mermaid","mermaidDiagram.originalCode":"Isha koodhka Mermaid","notifications.permissions.description":"Muuji digniinaha marka oggolaanshaha wargelinta loo baahan yahay","notifications.permissions.label":"Fur oggolaanshaha wargelinta","notifications.turnMode.always":"Had iyo jeer","notifications.turnMode.description":"Deji marka Codex ay kuu digto inay dhammaatay","notifications.turnMode.label":"U rog dhammaystirka wargelin","notifications.turnMode.off":"Marna","notifications.turnMode.unfocused":"Keliya marka aan xooga la saarin","patchApprovalRequest.approve":"Aansixin","patchApprovalRequest.menu.allowAlways":"Haa, oo ma waydiinaysid mar labbaad kullankan","patchApprovalRequest.menu.allowForSession":"Haa, oo ma waydiinaysid mar labbaad kullankan","patchApprovalRequest.menu.allowOnce":"Haa","patchApprovalRequest.prompt":"Ma doonaysaa inaad samayso isbeddeladan?","patchApprovalRequest.reject":"Maya","patchApprovalRequest.waitingForApproval":"Sugaya oggolaanshaha si wax looga beddelo faylasha","pendingRequest.approvalExec.collapse":"Dumi","pendingRequest.approvalExec.expand":"Ballaari","pendingRequestStory.toastAnswer":"Jawaab: {answer}","pendingRequestStory.toastApprovalTitle":"Jawaabta oggolaanshaha","pendingRequestStory.toastFollowupPrompt":"Dhakhso ah: {prompt}","pendingRequestStory.toastFollowupTitle":"La socodka la diray","pendingRequestStory.toastNoAnswers":"Jawaabo lama bixin","pendingRequestStory.toastQuestion":"Su’aal: {question}","pendingRequestStory.toastUnknownDecision":"La garaneyn","pendingRequestStory.toastUserInputTitle":"Jawaabaha la gudbiyay","quickAction.request.codeReview.branches.new":"Fadlan dib u eeg isbeddelada {from} ku lid ah {to}","quickAction.request.codeReview.uncommitted.new":"Fadlan dib u eeg isbeddelada aan la dirin","reasoningItem.thinking":"Ka-fakaraya","reasoningItem.thought":"Fikrad","reasoningItem.thoughtWithElapsed":"Ka fekeray {elapsed}","recentConversations.title":"Wada sheekaysiyo dhawaa","recentTasks.worktreeInitFailedTitle":"Worktree init fashilmay","recentTasks.worktreeSettingUpTitle":"Ku shubaya worktree","requestInputPanel.continue":"Sii wad","requestInputPanel.dismiss":"Iska dhaaf","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Teeb ku qor halkan","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Maya, oo u sheeg Codex waxa loo samaynayo si ka duwan","requestInputPanel.selectedBadge":"La doortay","requestInputPanel.skip":"Ka bood","requestInputPanel.submit":"Gudbi","review.commit.ariaLabel.includeUnstaged":"Ku dar kuwa aan diyaarsanayn","review.commit.buttonLabel":"Hawsha dirida","review.commit.disabled.committing":"Kaydinaya...","review.commit.disabled.loadingDiff":"Soo saaraya kala duwanaanshaha…","review.commit.disabled.missingContext":"Ku dar qeyb macnaha guud si aad u soo saartid fariin gaaban","review.commit.disabled.noChanges":"Wax isbeddelo ah lama kaydin","review.commit.disabled.noSelection":"Dooro isbeddelada si loo kaydiyo","review.commit.disabled.unavailable":"Kaydinta isbeddelka lama heli karo hadda","review.commit.error":"Ku guul daraystay dirida isbeddelada","review.commit.form.changesToBeCommitted":"Isbeddelada","review.commit.form.commitTo":"Faraca","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Sii wad","review.commit.form.title":"Kaydi isbeddeladaada","review.commit.generate.emptyResponse":"Soo saari kari waayay fariinta gaaban.","review.commit.generate.failed":"Ku guul daraystay soo saarida fariin gaaban: {error}","review.commit.generate.missingPrompt":"Ku dar qayb macnaha guud si aad u soo saartid fariin gaaban.","review.commit.includeUnstaged":"Ku dar kuwa aan diyaarsanayn","review.commit.loading.description":"Samir yeelo, tani waxay qaadan kartaa dhowr daqiiqo","review.commit.loading.step.commit.done":"Isbeddelada aan la kaydin","review.commit.loading.step.commit.pending":"Kaydinaya isbeddelada","review.commit.loading.step.createPr.done":"Sameeyay codsiga beddelka","review.commit.loading.step.createPr.pending":"Samaynaya codsiga isbeddelka","review.commit.loading.step.push.done":"Ku riixay faraca {branch}","review.commit.loading.step.push.pending":"Ku riixay faraca {branch}","review.commit.loading.title.commit":"Kaydinaya isbeddelada","review.commit.loading.title.createPr":"Samaynta PR","review.commit.loading.title.push":"Riixida isbeddelada","review.commit.messageLabel":"Fariinta hawl dirida","review.commit.messagePlaceholder":"Ha banaanaato si otomaatiga loogu soo saaro fariinta kaydka.","review.commit.nextSteps":"Tallaabada xigta:","review.commit.nextSteps.commit":"Hawsha dirida","review.commit.nextSteps.commitAndCreate":"Beddel oo samee PR","review.commit.nextSteps.commitAndPush":"Beddelka iyo riixida","review.commit.nextSteps.prRequiresGh":"U baahan GitHub CLI: {command}","review.commit.rows.changes":"Isbeddelada","review.commit.rows.commitCount":"{count, plural, one {# isbadelka} other {# isbadelada}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# isbadelka} other {# isbadelada}} iyo {stats}","review.commit.rows.fileCount":"{count, plural, one {# fayl} other {# faylasha}}","review.commit.state.error.body":"Waxbaa khaldamay marka la kaydinayay. Hubi xaaladaada git oo isku day mar labbaad.","review.commit.state.error.title":"Kaydinta way fashilantay","review.commit.state.success.title":"Isbeddelada la kaydiyay","review.commit.untracked.loadingStats":"Soo saaraya heerarka tirakoobka kala duwan ee aan la raad raacin...","reviewFindingAttachments.count":"{count, plural, one {# natiijada} other {# natiijooyinka}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Wax ka beddel ku xidhidaada si aad caadi uga dhigto dhaqanka wakiilka","settings.agent.configuration.configToml.docs":"Dhokumentiyada","settings.agent.configuration.configToml.restartNote":"Dib u bilow Codex ka dib wax ka beddelka si loo adeegsado isbeddelada","settings.agent.configuration.subtitle":"Setinkan waxa uu ku habboon yahay meel kasta oo Codex lagu isticmaalo.","settings.automations.banner.danger":"Otomaatigu waxa uu ku socdaa setinkaaga asalka ah ee goobta tijaabinta, kuwaad oo hadda loo dejiyay Gelida Buuxda. Socodka, otomaatiga muuqaalka dambe ee wata Gelida Buuxda waxay gashaa khatar sare, marka Codex wax ka beddeli karto faylasha, wado amarada, oo gasho shabakada iyaddoon waydiisan. Ka feker cusboonaysiinta setinka goobta tijaabina goobta shaqo qorto, iyo isticmaalaysa <rulesDocsLink>sharciyada</rulesDocsLink> si qaab doorosho leh loogu qeexo amarada wakiilka ee ku socon kara gelida buuxda.","settings.automations.banner.defaultHowTo.default":"Otomaatigu waxa uu ku socdaa setinkaaga asalka ah ee goobta tijaabinta. Wadista aaladaha waxay fashilmi doonaan haddii ay u baahdaan hagaajinta faylasha dibada goobta shaqo, gelida shabakada, ama ku shaqaynta ababka kombuyutarkaaga. Waxaad si xulasho leh u oggolaataaliiska amarada inuu ka socda dibada goobta tijaabidan addoo isticmaalaya <rulesDocsLink>sharciyada</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Otomaatigu waxa uu ku socdaa setinkaaga asalka ah ee goobta tijaabinta, kuwaas oo la sameeyay akhris keliya. Wadista aaladaha waxay fashilmi doonaan haddii ay u baahdaan hagaajinta faylasha, gelida shabakada, ama ku shaqaynta ababka kombuyutarkaaga. Ka feker cusboonaysiinta setinka goobta tijaabada qorida goobta shaqada.","settings.automations.cancel":"Kansal","settings.automations.create":"Abuur","settings.automations.cwdEmpty":"Ma jiraan faylalka mashruucyada oo la heli karo","settings.automations.cwdLabel":"Mashruucyada","settings.automations.cwdPlaceholder":"Dooro faylka","settings.automations.cwdSubtitle":"Haddii aad doonayso otomaatigu inuu ka socdo farac gaar ah, waxaad caddayn kartaa iyada gudaha ishaaradaada.","settings.automations.delete":"Tirtir","settings.automations.dialog.editTitle":"Wax ka beddel qaabka otomaatiga ah","settings.automations.dialog.newTitle":"Qaab otomaatig ah oo cusub","settings.automations.dialog.subtitle":"Otomaatiga hawlaha soo noqnoqda gudaha muuqaalka dambe. Codex waxay ku dartaa helida gudaha bogoska, ama si otomaatiga ah u kaydisa hawsha haddii aanay jirin waxba laga warbixiyo. <learnMoreLink>Wax badan baro</learnMoreLink>","settings.automations.dialog.title":"Samee qaab otomaatig","settings.automations.executionCopy.git":"Otomaatiga ka socda muuqaalka dambe ee worktree yada loogu talo galay.","settings.automations.executionCopy.nonGit":"Otomaatiga mashruucayada noocyada aan ahayn ee la maamulo oo toos loo wado gudaha diiwaanka. Ka feker isticmaalka Git si loo furo worktree yada muuqaalka dambe.","settings.automations.executionEnvironment.local":"Maxali ah","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Soo-rarmaya…","settings.automations.nameLabel":"Magac","settings.automations.namePlaceholder":"Hubi arrimaha ilaalada","settings.automations.pause":"Joojin","settings.automations.promptLabel":"Dhakhso ah","settings.automations.promptPlaceholder":"raadi burburka $Sentry","settings.automations.resume":"Dib u bilow","settings.automations.rruleSummaryFallback":"Jadwalka caadiga ah","settings.automations.runNow":"Tijaabo","settings.automations.save":"Kaydi","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"Maalmaha todobaadka","settings.automations.scheduleBadge.weekends":"Dhammaadka todobaadka","settings.automations.scheduleHeader":"Jadwal","settings.automations.scheduleHours":"saacadood","settings.automations.scheduleLabel":"Wad mid kasta","settings.automations.scheduleMode.daily":"Maalinle","settings.automations.scheduleMode.interval":"Wakhtiga u dhexeeya","settings.automations.scheduleModeLabel":"Qorshee nooca","settings.automations.scheduleSummary.daily":"Maalinle xaga {time}","settings.automations.scheduleSummary.interval":"Mid kasta {count}h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# maalin} other {# maalmood}}","settings.automations.scheduleSummary.intervalDays":"{interval} daaran {days}","settings.automations.scheduleSummary.intervalHourly":"Saacadle","settings.automations.scheduleSummary.singleDay":"{day} xaga {time}","settings.automations.scheduleSummary.weekdays":"Maalmaha todobaadka xaga {time}","settings.automations.scheduleSummary.weekdaysLabel":"Maalmaha todobaadka","settings.automations.scheduleSummary.weekends":"Dhammaadka todobaadka xaga {time}","settings.automations.scheduleSummary.weekendsLabel":"dhammaadka todobaadka","settings.automations.scheduleSummary.weekly":"{days} xaga {time}","settings.automations.scheduleWeekdays":"Shid","settings.automations.weekdayState.excluded":"Laga saaray","settings.automations.weekdayState.included":"Lagu daray","settings.conversationDetail.steps":"Tallaabooyinka","settings.conversationDetail.steps.description":"Qari amarada iyo soo saarida","settings.conversationDetail.stepsWithCommands":"Tallaabooyinka leh amarada koodhka","settings.conversationDetail.stepsWithCommands.description":"Tus amarada, qari natiijooyinka","settings.conversationDetail.stepsWithOutput":"Tallaabooyinka leh soo saarida amarada","settings.conversationDetail.stepsWithOutput.description":"Tus amarada oo ballaadhi soo saarida","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Ma lihid Sheekeysiga la kaydiyey.","settings.dataControls.archivedChats.error":"Ma soo rari karin wada sheekaysiyada la kaydiyay","settings.dataControls.archivedChats.loading":"Soo gelinaya wada sheekeysiga la kaydiyey gudaha ...","settings.dataControls.archivedChats.unarchive":"Kaydka ka saar","settings.dataControls.archivedChats.unarchiveError":"Ku fashilmay wada sheekaysiga aan la kaydin","settings.dataControls.archivedChats.unarchiveSuccess":"Fariimaha taxanaha aan la kaydin. <viewNowLink>Hadda arag</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Fariimaha taxanaha aan la kaydin.","settings.dataControls.archivedChats.untitled":"Wada sheekaysiga aan cinwaanka lahayn","settings.dataControls.archivedChats.viewNow":"Arag hadda","settings.editRow.headerPlaceholder":"Furaha","settings.editRow.removeEntry":"Ka saar diiwaanka","settings.editRow.valuePlaceholder":"Qiimaha","settings.general.appearance":"Muuqaalka","settings.general.appearance.codeFont":"Qoraalka xarfaha koodhka:","settings.general.appearance.codeFont.description":"Ku habbee qoraalka xarfaha iyo cabirka loo isticmaalo koodhka dhammaan wada sheekaysiyada iyo kala duwanaanshaha","settings.general.appearance.codeFontFamily":"Koodhka qoyska qoraalka xarfaha","settings.general.appearance.codeFontSize":"Koodhka cabirka qoraalka xarfaha","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Ka dhig shaashadaha kuwa midab ka buuxo beddelka nidaamka midabka laga dhex arkayo","settings.general.appearance.opaqueWindows.label":"Fur shaashada muuqaalka dambe ee aan waxba ka muuqan","settings.general.appearance.sansFontFamily":"Iskaan saar qoyska qoraalka xarfaha","settings.general.appearance.sansFontFamily.description":"Ku habee qoraalka xarfaha la isticmaalay Codex UI","settings.general.appearance.sansFontSize":"Sans cabirka qoraalka xarfaha","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Tus shaashada buuxda ee saamaynta dabaal dega marka GPT-5.3-Codex-Spark ay socoto marka koowaad","settings.general.appearance.sparkCelebrationEffects.label":"Dhali saamaynta dagaal dega","settings.general.appearance.theme":"Muuqa","settings.general.appearance.theme.dark":"Mugdi","settings.general.appearance.theme.description":"Isticmaal nal, madow, ama ku habboonaysii nidaamkaaga","settings.general.appearance.theme.light":"Iftiin","settings.general.appearance.theme.system":"Nidaamka","settings.general.appearance.usePointerCursors.description":"Beddel keersarka tilmaamaha marka la dul saaro walxaha la is dhaafsado","settings.general.appearance.usePointerCursors.label":"Isticmaal keertsar tilmaamaha","settings.general.enterBehavior.description":"Marka la furo, tilmaamo layman badan ayaa u baahan {modifierSymbol} + geli si loo diro.","settings.general.enterBehavior.label":"U baahan {modifierSymbol} +geli si loo diro tilmaamaha dheer","settings.general.experimentalFeatures":"Sifooyinka tijaabada ah (Beta)","settings.general.experimentalFeatures.empty":"Ma jraan sifooyinka tijaabada beta oo la heli karo.","settings.general.experimentalFeatures.loading":"Soo saaraya sifooyinka tijaabada ah...","settings.general.experimentalFeatures.restartNote":"Dib u bilow Codex si loo adeegsado isbeddelada sifada tijaabada ah","settings.general.experimentalFeatures.toggle":"Beddel {featureName}","settings.general.followUpQueueMode.description":"La socodka safka marka Codex ay socoto ama jihee wadista hadda. Cadaadi {invertFollowUpShortcutLabel} si loo sameeyo mid ku lid ah hal fariin.","settings.general.followUpQueueMode.interrupt":"Hagid","settings.general.followUpQueueMode.label":"Dhaqanka la socodka","settings.general.followUpQueueMode.queue":"Saf gal","settings.general.notifications":"Wargelin","settings.general.power.preventSleepWhileRunning.description":"Kombuyuutarkaaga ha muuqdo marka Codex ay ka socota qaybta fariimaha.","settings.general.power.preventSleepWhileRunning.label":"Ka hortag seexashada marka uu socdo","settings.git.branchPrefix.ariaLabel":"Erayga ka horeeya faraca","settings.git.branchPrefix.description":"Erayga horeeya marka la samaynayo faracyada cusub gudaha Codex","settings.git.branchPrefix.label":"Erayga ka horeeya faraca","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Ku fashilmay kaydinta erayga ka horeeya faraca","settings.git.branchPrefix.save.success":"Kaydiyay erayga ka horeeya faraca","settings.git.commitInstructions.ariaLabel":"Tilmaamaha kaydinta","settings.git.commitInstructions.description":"Lagu daray fariinta gaaban ee tilmaamaha soo saarida","settings.git.commitInstructions.label":"Tilmaamaha kaydinta","settings.git.commitInstructions.placeholder":"Ku dar hagitaanka fariinta gaaban...","settings.git.commitInstructions.save":"Kaydi","settings.git.commitInstructions.save.error":"Ku guul daraystay kaydinta tilmaamaha kaydinta","settings.git.commitInstructions.save.success":"Kaydi tilmaamaha kaydinta","settings.git.forcePush.ariaLabel":"Had iyo jeer xoog ku riix","settings.git.forcePush.description":"isticmaal -- force-with-lease marka lagu soo gelinayo Codex","settings.git.forcePush.label":"Had iyo jeer xoog ku riix","settings.git.forcePush.save.disabled":"Had iyo jeer xoog ku riix waa la xidhay","settings.git.forcePush.save.enabled":"Had iyo jeer xoog ku riix waa la furay","settings.git.forcePush.save.error":"Ku guul daraystay kaydinta setinka xoog ku riixida","settings.git.prInstructions.ariaLabel":"Tilmaamaha gudbinta badelada","settings.git.prInstructions.description":"Lagu daray dhammaadka codsiga badelka ee ay abuurtay Codex","settings.git.prInstructions.label":"Tilmaamaha gudbinta badelada","settings.git.prInstructions.placeholder":"Ku dar tilmaanta codsiga badelka...","settings.git.prInstructions.save":"Kaydi","settings.git.prInstructions.save.error":"Ku fashilmay kaydinta tilmaamaha codsiga badelka","settings.git.prInstructions.save.success":"Kaydiyay tilmaamaha codsiga badelka","settings.ide.defaultOpenTarget.description":"Halka faylasha iyo galaka ay asal ahaan furmaan","settings.ide.defaultOpenTarget.label":"Goobta furida asalka ah","settings.ide.defaultOpenTarget.placeholder":"Lama helin wax yoolal ah","settings.ide.language.auto":"Dareemid-otomaatik ah","settings.ide.language.autoOption":"Dareemid-otomaatik ah","settings.ide.language.description":"Luqadda abka UI","settings.ide.language.label":"Luuqada","settings.ide.language.search":"Raadi luqaddaha","settings.layout.actionButton":"Dib u bilow kordhinta","settings.layout.actionTitle":"Setinka leh fal","settings.layout.fullWidthTitle":"Setinka (Baladhka buuxa)","settings.layout.title":"Habeynta","settings.localEnvironments.actions.add":"Ku dar tallaabooyin","settings.localEnvironments.actions.add.description":"Samee amar cusub si looga wado tuulbaarka.","settings.localEnvironments.actions.add.save":"Kaydi","settings.localEnvironments.actions.empty":"Ku dar fal si loo wado amarada ka yimid batanada qalabka.","settings.localEnvironments.actions.icon.debug":"Cillad-bixi","settings.localEnvironments.actions.icon.run":"Socod sii","settings.localEnvironments.actions.icon.test":"Tijaabo","settings.localEnvironments.actions.icon.tool":"Aalada","settings.localEnvironments.actions.item.button.delete":"Tirtir","settings.localEnvironments.actions.item.command":"Falka amarada qoran","settings.localEnvironments.actions.item.name":"Magac","settings.localEnvironments.actions.item.platforms":"Degelada","settings.localEnvironments.actions.item.platforms.help":"Keliya wad OS gaarka ah.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Xulashada degelka","settings.localEnvironments.actions.item.platforms.specific":"Waxyaabaha degelka u gaar ah","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Tirtir","settings.localEnvironments.actions.title":"Ficilada","settings.localEnvironments.breadcrumb.back":"Laabo","settings.localEnvironments.breadcrumb.edit":"tifatir","settings.localEnvironments.breadcrumb.root":"Deegaanada","settings.localEnvironments.environment.actions.description":"Falalkan waxay socon karaa amar kasta oo waxay ka muuqan doonaan cinwaanka.","settings.localEnvironments.environment.actionsLabel":"Ficilada","settings.localEnvironments.environment.create":"Samee deegaanka gudaha","settings.localEnvironments.environment.defaultName":"Maxali ah","settings.localEnvironments.environment.edit":"Wax ka beddel deegaanka gudaha","settings.localEnvironments.environment.empty":"Ma jiro deegaan gudaha ah oo lagu xidhay mashruuca weli.","settings.localEnvironments.environment.name":"Magac","settings.localEnvironments.environment.setup":"Samee qoraalka","settings.localEnvironments.environment.setup.description":"Amarkab qoran waxay ka socon doontaa samaynta worktree.","settings.localEnvironments.environment.setup.hint":"Ka socda barta mashruuca.","settings.localEnvironments.environment.setup.platformOverrides":"Isbeddelada degelka","settings.localEnvironments.environment.setup.platformOverrides.add":"Ku dar{platform} ku shubida fariimaha qoran","settings.localEnvironments.environment.setup.platformOverrides.description":"Isbeddelka qoraalka asalka eh ee OSes gaarka ah.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Ka saar","settings.localEnvironments.environment.setup.script":"Qoraalka","settings.localEnvironments.environment.title":"Faahfaahinta deegaanka","settings.localEnvironments.file.missing":"Kaydi si loo sameeyo faylkan wakhtigii koowaad.","settings.localEnvironments.file.parseError":"Aan awoodin akhriska faylka jira. Kaydinta ayaa beddeli doonta. ({error}).","settings.localEnvironments.file.path":"Faylka: {path}","settings.localEnvironments.file.readError":"Ku guul daraystay soo saarida xogta deegaanka gudaha. ({error})","settings.localEnvironments.file.title":"Faylka deegaanka gudaha","settings.localEnvironments.loading.body":"Keenida ku xidhida mashruucaaga.","settings.localEnvironments.loading.title":"Soo saarida nidaamka deegaanka gudaha","settings.localEnvironments.preview.devOnly":"(DEV keliya)","settings.localEnvironments.preview.save":"Kaydi","settings.localEnvironments.preview.saveError":"Ku fashilmay kaydinta faylka. ({error})","settings.localEnvironments.preview.title":"Hore-u-eeg","settings.localEnvironments.save.disabled.name":"Ku dar magaca deegaanka si loo kaydiyo.","settings.localEnvironments.save.disabled.noChanges":"Ma jiraan isbeddelo la kaydinayo.","settings.localEnvironments.save.disabled.saving":"Kaydinaya...","settings.localEnvironments.save.success":"Kaydiyay nidaamka deegaanka gudaha","settings.localEnvironments.unavailable.body":"Waanu soo saari kari waynay setinka nidaamyada deegaanka ee mashruuca.","settings.localEnvironments.unavailable.title":"Nidaamyada deegaanka gudaha lama heli karo","settings.localEnvironments.workspace.add":"Ku dar Mashruuca","settings.localEnvironments.workspace.title":"Mashruuca","settings.localEnvironments.workspaceSelect.addLabel":"Ku dar nidaamka deegaanka","settings.localEnvironments.workspaceSelect.description":"Deegaanada maxaliga waxay sheegaan Codex sida loogu shubo worktree yada mashruuca.{learnMore}","settings.localEnvironments.workspaceSelect.empty":"Ma jiraan mashruucyo weli. Ku dar hal si loogu xidho nidaamyada deegnka gudaha.","settings.localEnvironments.workspaceSelect.errorLabel":"Nidamaka deegaanka dareenka u baahan","settings.localEnvironments.workspaceSelect.learnMore":"Wax badan ka baro","settings.localEnvironments.workspaceSelect.listLabel":"Mashruucayada la heli karo","settings.localEnvironments.workspaceSelect.loading":"Soo saaraya mashruucyada.","settings.localEnvironments.workspaceSelect.loadingLabel":"Khaladka soo saarida deegaanka","settings.localEnvironments.workspaceSelect.title":"Dooro mashruuca","settings.localEnvironments.workspaceSelect.viewAction":"Eeg","settings.mcp.addServer":"Ku dar serferka","settings.mcp.app.configure":"Habee","settings.mcp.app.connect":"Ku-xir","settings.mcp.apps.refresh":"Dib-u-kici galida","settings.mcp.detail.addArgument":"Ku dar dooda","settings.mcp.detail.addEnvVar":"Ku dar kala duwanaanshaha deegaanka","settings.mcp.detail.addEnvVarPassthrough":"Ku dar kala duwanaanshaha","settings.mcp.detail.args":"Doodaha","settings.mcp.detail.back":"Laabo","settings.mcp.detail.command":"Amar si loo bilaabo","settings.mcp.detail.cwd":"Diiwaanka shaqaynaya","settings.mcp.detail.docs":"Fur caddaynrta MCP","settings.mcp.detail.docs.link":"Dhokumentiyada","settings.mcp.detail.envVarPassthrough":"Kala duwanaanshaha dhaafida deegaanka","settings.mcp.detail.envVars":"Kala duwanaanshaha deegaanka","settings.mcp.detail.http.addEnvHeader":"Ku dar kala duwanaanshaha","settings.mcp.detail.http.addHeader":"Ku dar cinwaanka","settings.mcp.detail.http.bearerToken":"Calaamad sidaha deegaanka kala duwan","settings.mcp.detail.http.envHeaders":"Cinwaanada kala duwanaanshaha deegaanka","settings.mcp.detail.http.headers":"Cinwaanada","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Magac","settings.mcp.detail.save":"Kaydi","settings.mcp.detail.switchTransportNotice":"Haddii aad jeclaan lahayd inaad u beddesho nooca serferka, fadlan ka tuur marka koowaad.","settings.mcp.detail.titleExisting":"Cusboonaysii {name} MCP","settings.mcp.detail.titleNew":"Ku xidh MCP caadiga ah","settings.mcp.detail.transport.http":"Daata ku dirida HTTP","settings.mcp.detail.transport.stdio":"ISTUUDYO","settings.mcp.detail.uninstall":"Ka tuur","settings.mcp.empty":"Ma jiraan serferada MCP oo ku xidhan","settings.mcp.myServers":"Serferada caadiga ah","settings.mcp.partnerServer.description.figma":"Soo saar koodh ka sii fiican addoo keeniya gudaha xaalada Figma.","settings.mcp.partnerServer.description.github":"Ku dhaf GitHub APIs si otomaatig looga dhigo socodka shaqada oo soo qaad xogta.","settings.mcp.partnerServer.description.linear":"Ku dhaf arrimaha Linear ee raad racaya iyo maamulka mashruuca.","settings.mcp.partnerServer.description.notion":"Akhri dhokumentiyada, cusboonaysii boggaga, maaree hawlaha.","settings.mcp.partnerServer.description.playwright":"Ku dhaf barowsarka otomaatiga si loo hirgeliyo nashqad iyo tijaabada UI.","settings.mcp.partnerServer.install":"Ku shub","settings.mcp.partnerServer.installAndAuthenticate":"Ku shub oo xaqiiji","settings.mcp.partnerServer.logoAlt":"{label} cusub","settings.mcp.partnerServer.manage":"Maaree","settings.mcp.partnerServer.vendor":"ee {vendor}","settings.mcp.recommendedServers":"Serferada lagu taliyay","settings.mcp.restartApp":"Dib-u-bilaw","settings.mcp.restartExtension":"Dib u bilow kordhinta","settings.mcp.server.enable":"Fur","settings.mcp.server.login":"Ansixi","settings.mcp.server.settings":"Habeynta","settings.multiselect.createOption":'Samee "{value}"',"settings.multiselect.removeOption":"Ka saar","settings.nav.account":"Koonto","settings.nav.agent":"Qaabeyn","settings.nav.ariaLabel":"Habeynta","settings.nav.back":"Ku laabo abka","settings.nav.data-controls":"Fariimaha taxanaha la kaydiyay","settings.nav.environments":"Barnaamijka deegaanka Cloud","settings.nav.externalTooltip":"[alpha] Fura barowsarka","settings.nav.general-settings":"Guud ahaan","settings.nav.git-settings":"Git","settings.nav.local-environments":"Deegaanada","settings.nav.mcp-settings":"Serfarada MCP","settings.nav.notImplemented":"[alpha] Lagama heli karo Alpha","settings.nav.personalization":"Shakhsiyeyn","settings.nav.skills-settings":"Xirfadaha","settings.nav.usage-analytics":"Isticmaalka & Faaqidaada","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"Laabo","settings.openSourceLicenses.loading":"Soo-rarmaya…","settings.openSourceLicenses.missing":"Lama helin ogaysiiyada kooxda saddexaad.","settings.openSourceLicenses.notSupported":"Lagama heli karo gudaha serferkan.","settings.openSourceLicenses.rowDescription":"Ogaysiiyada kooxda saddexaad ee ku tiirsanaanta badan","settings.openSourceLicenses.rowLabel":"Shatiyaasha ilaha furan","settings.openSourceLicenses.subtitle":"Ogaysiisyada kooxda saddexaad ee ku tiirsanaanta lagu daray abkan.","settings.openSourceLicenses.title":"Shatiyaasha ilaha furan","settings.openSourceLicenses.view":"Eeg","settings.personalization.agents.description":"Wax ka beddel tilmaamaha ku habboon Codex adiga. {learnMore}","settings.personalization.agents.learnMore":"Wax badan ka baro","settings.personalization.agents.loadError":"Aan awoodin soo saarida wakiilada.md.","settings.personalization.agents.loading":"Soo saarida wakiilada.md…","settings.personalization.agents.placeholder":"Ku dar tilmaamahaaga caadiga ah…","settings.personalization.agents.retry":"Dib isugu day","settings.personalization.agents.save":"Kaydi","settings.personalization.agents.save.error":"Aan awoodin kaydinta wakiilada.md","settings.personalization.agents.save.success":"Wakiilada la kaydiyay.md","settings.personalization.agents.title":"Tilmaamaha shakhsiyeysan","settings.personalization.personality.description":"Dooro qaabka asalka ah ee jawaabaha Codex","settings.personalization.personality.label":"Shakhsiyada","settings.sample.contentBody":"Isticmaal nashqadan si loogu sameeyo qaybaha setinkaaga meelo banaan oo waafaqsan.","settings.sample.contentTitle":"Lakabka macluumaadka muunada ah","settings.section.account":"Koonto","settings.section.agent":"Qaabeyn","settings.section.data-controls":"Fariimaha taxanaha la kaydiyay","settings.section.environments":"Barnaamijka deegaanka Cloud","settings.section.external":"Ka furmaya gudaha barowsarkaaga muddada Alpha","settings.section.general-settings":"Guud ahaan","settings.section.git-settings":"Git","settings.section.local-environments":"Deegaanada","settings.section.mcp-settings":"Serfarada MCP","settings.section.mcp-settings.docs":"Dhokumentiyada","settings.section.mcp-settings.subtitle":"Ku xidh aalada dibada iyo ilaha xogta.","settings.section.personalization":"Shakhsiyeyn","settings.section.skills-settings":"Xirfadaha","settings.section.unavailable":"Lagama heli karo gudaha Alpha weli","settings.section.usage-analytics":"Isticmaalka & Faaqidaada","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"Door inta ay tahay soo saarida amarka si loo muujiyo qaybaha.","settings.threadDetail.label":"Faahfaahinta qaybta","settings.worktrees.conversation.untitled":"Wada sheekaysiga aan cinwaa lahayn","settings.worktrees.delete.error":"Ku guul daraystay in la tirtiro worktree","settings.worktrees.empty.body":"Worktree yada uu sameeyay Codex waxay ka muuqan doontaa halkan.","settings.worktrees.empty.title":"Ma jiraan worktree","settings.worktrees.error.body":"Waxbaa khaldamay markii la soo saarayay worktree yada.","settings.worktrees.error.retry":"Dib isugu day","settings.worktrees.error.title":"Aan awoodin soo saarida diiwaanada worktree","settings.worktrees.loading.body":"Keenaya faahfaahinta worktree","settings.worktrees.loading.title":"Soo saaraya worktree yada","settings.worktrees.repository.loading":"Soo saaraya kaydka metadata…","settings.worktrees.repository.unknown":"Kaydka aan la garanayn","settings.worktrees.row.conversations":"Wada-sheekeysiyo","settings.worktrees.row.conversations.empty":"Ma jiro wada sheekaysi ku xidhan diiwaankan worktree.","settings.worktrees.row.conversations.loading":"Soo saaraya wada sheekaysiyada...","settings.worktrees.row.delete":"Tirtir","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Ku dar mashruuc cusub","sidebarElectron.archiveThread":"Si qarsoon u kaydi","sidebarElectron.archiveThreadError":"Ay fashilantay in la kaydiyo liidka","sidebarElectron.collapseFolder":"Tuur faylka","sidebarElectron.createStableWorktree.dialog.cancel":"Kansal","sidebarElectron.createStableWorktree.dialog.create":"Abuur","sidebarElectron.debugNavLink":"Cillad-bixi","sidebarElectron.editWorkspaceRootOptionName":"Tifatir magac","sidebarElectron.expandFolder":"Ballaadhi faylka","sidebarElectron.groupByMenu.recency":"Kala horaynta liiska","sidebarElectron.groupByMenu.title":"Abaabul","sidebarElectron.groupByMenu.workspace":"Mashruuc ahaan","sidebarElectron.inboxRouteNavLink":"Otomaatiga","sidebarElectron.markThreadUnread":"U calamadee sidoon la akhriyin","sidebarElectron.missingWorkspaceRoot":"Faylka mashruucan waa la tirtiray ama waa la dhaqaajiyay.","sidebarElectron.newThread":"Qaybta cusub","sidebarElectron.newThreadInGroup":"Ka bilow qaybta cusub gudaha {folder}","sidebarElectron.noRecentThreads":"Ma jiraan qaybaha faallooyinka ee dhawaa","sidebarElectron.noTasks":"Wada sheekaysiyo ma jiraan","sidebarElectron.noTasks.start":"Ku dar mashruuc cusub","sidebarElectron.noTasksWithFilter":"Ma jiro wada sheekaysiyo ku habboon filtarada","sidebarElectron.pinnedThreads":"Wada sheekaysiyada la muujiyay","sidebarElectron.recentNavLink":"Qaybaha","sidebarElectron.recentThreads":"Qaybihii dhawaa ee faallooyinka","sidebarElectron.removeWorkspaceRootOption":"Ka saar","sidebarElectron.renameThread":"Ka saar dib u magacaabida magaca wada sheekaysiga","sidebarElectron.renameThreadDialogAriaLabel":"Cinwaanka magaca wada sheekaysiga","sidebarElectron.renameThreadDialogCancel":"Kansal","sidebarElectron.renameThreadDialogPlaceholder":"Ku dar cinwaanka…","sidebarElectron.renameThreadDialogSave":"Kaydi","sidebarElectron.renameThreadDialogSubtitle":"Soo gaabi oo aqoonso","sidebarElectron.renameThreadDialogTitle":"Ka saar dib u magacaabida magaca wada sheekaysiga","sidebarElectron.renameThreadError":"Ku guul daraystay dib u magcaabida magaca wada sheekaysiga","sidebarElectron.renameWorkspaceRootOptionLabel":"Soo bandhig magaca","sidebarElectron.showLess":"Muuji waxyar","sidebarElectron.showMenu.all":"Dhammaan fariima kooxeedka","sidebarElectron.showMenu.relevant":":La xidhiidha","sidebarElectron.showMenu.relevantHint":"Keli muuji qaybaha dhawaan ee faraca hadda, worktee yada, ama qaybaha kale ee u baahan dareenka in loo soo jeediyo","sidebarElectron.showMenu.title":"Muuji","sidebarElectron.showMenu.tooltip":"Shaandhee, kala saar, oo abaabul qaybaha wada sheekaysiyada","sidebarElectron.showMenu.trigger":"Xulo dhinaca wada sheekaysiyada","sidebarElectron.showMore":"Waxbadan muuji","sidebarElectron.skillsRouteNavLink":"Xirfadaha","sidebarElectron.sortMenu.created":"La-abuurey","sidebarElectron.sortMenu.title":"Ku kala saar","sidebarElectron.sortMenu.updated":"La cusbooneysiiyey","sidebarElectron.taskNavigation":"Faylasha otomaatiga ah","sidebarElectron.tasksInFolder":"Otomaatiga gudaha {folder}","sidebarElectron.workspaceOptions":"Tallaabooyinka mashruuca ee {folder}","sidebarElectron.worktreeGroupTooltip":"Tani waa git worktree","skills.appsPage.createSkill":"Xirfad cusub","skills.appsPage.empty.skills":"Wax xirfad ah lama helin","skills.appsPage.search.skills":"Raadi xirfadaha","skills.appsPage.search.skills.label":"Raadi xirfadaha","skills.appsPage.section.installedApps":"Lagu shubay","skills.appsPage.section.skills":"Xirfadaha","skills.appsPage.subheading":"Sii awood badan Codex<link>Wax badan ka baro</link>","skills.appsPage.tab.recommended":"Lagu taliyay","skills.appsPage.tab.skills":"Xirfadaha","skills.card.contentsError":"Aan awoodin soo saarida macluumaadka xirfada.","skills.card.disable":"Xir","skills.card.disableSuccess":"{skillName} xirfada waa la xidhay.","skills.card.disabledBadge":"La xidhay","skills.card.enable":"Fur","skills.card.enableSuccess":"{skillName} xirfada waa la furay","skills.card.loadingContents":"Soo saaraya waxay ka kooban tahay xirfadaha...","skills.card.more":"Tallaabooyin badan","skills.card.open":"Fur","skills.card.removeFailed":"Ku guul daraystay in laga tuuro xirfada","skills.card.removeSuccess":"{skillName} xirfada waa laga tuuray","skills.card.toggleEnabledError":"Ku guul daraystay cusbooneysiinta xirfada","skills.card.try":"Isku day","skills.card.trySkill":"Isku day xirfad","skills.card.uninstall":"Ka tuur","skills.hero.dotLabel":"Booqo bogga {index}","skills.hero.next":"Xirfadaha xiga ee la sifeeyay","skills.hero.trySkill":"Isku day xirfad","skills.page.createSkill":"Xirfad cusub","skills.page.empty":"Wax xirfad ah lama helin","skills.page.filteredEmpty":"Ma jiraa xirfado ku habboon filtaradaada","skills.page.filteredEmptyDescription":"Isku day ku habbaynta raadintaada ama baaxada filtarada","skills.page.heading":"Xirfadaha","skills.page.loading":"Soo saaraya xirfadaha...","skills.page.refreshSkills":"Dib-u-kici galida","skills.page.refreshSkillsToUseNew":"Soo kici si loo isticmaalo xirfada(ha) cusub","skills.page.search":"Raadi xirfadaha","skills.page.search.label":"Raadi xirfadaha","skills.page.subheading":"Sii awood badan Codex<link>Wax badan ka baro</link>","skills.preview.copyPrompt":"Koobiyee tilmaanta","skills.preview.examplePrompt":"Tusaalaha soo boodista","skills.recommended.error":"Aan awoodin soo gelinta xirfadaha lagu taliyay","skills.recommended.install":"Ku shub","skills.recommended.installSkill":"Ku shub xirfada","skills.recommended.installSuccess":"{skillName}xirfada waa lagu shubay","skills.recommended.installed":"Lagu shubay","skills.scope.admin":"Maamul","skills.scope.adminInstalled":"Maamulka lagu shubay","skills.scope.builtIn":"Nidaamka","skills.scope.personal":"Shakhsi ah","skills.scope.repo":"Kaydka","skills.scope.system":"Nidaamka","skills.scope.team":"Team","skills.scope.user":"Isticmaale","skills.section.installed":"Lagu shubay","skills.section.recommended":"Lagu taliyay","story.slidingToggle.existing":"Jira","story.slidingToggle.fromLocal":"Ka yimid gudaha","story.slidingToggle.new":"Cusub","story.slidingToggle.toLocal":"Ku socda gudaha","terminal.close":"Xidh bixida","terminal.title":"Dhammaadka","thinkingShimmer.default":"Ka-fakaraya","threadEnvIcon.cloudTooltip":"Wada sheekaysigan waxa uu ka socdaa gudaha Codex Cloud","threadEnvIcon.localTooltip":"Wada sheekaysigan waxa uu u socdaa si gudaha ah.","threadEnvIcon.worktreeTooltip":"Wada sheekaysigan waxa uu wadaa git worktree maxaliga ah.","threadHeader.archiveConfirmCancel":"Kansal","threadHeader.archiveConfirmConfirm":"Kayd","threadHeader.archiveConfirmSubtitle":"Waxaad arki kartaa ka dib gudaha qaybahaaga la kaydiyo","threadHeader.archiveConfirmTitle":"Si qarsoon u kaydi","threadHeader.copyAppLink":"Koobiyee Deeplink","threadHeader.copySessionId":"Koobiyee aqoonsiga kullanka","threadHeader.copyWorkingDirectory":"Koobiyee diiwaanka shaqaynaya","threadHeader.forkIntoLocal":"Samee koobiga goobta ah","threadHeader.forkIntoWorktree":"U koobiyee worktree cusub","threadHeader.forkPendingWorktreePrompt":"U koobiyee wada sheekaysigan worktree cusub.","threadHeader.forkPendingWorktreeTitle":"Wada sheekaysiga la koobiyeeyay","threadHeader.forkThreadError":"Ku guul daraystay koobiyaynta qaybtan","threadHeader.forkThreadRequiresGitRepo":"U koobiyaynta worktree cusub waxay u baahan tahay kaydka git.","threadHeader.moreActions":"Tallaabooyinka qaybta","threadPage.newThread":"Qaybta cusub","threadPage.runAction.changeEnvironment":"Beddel deegaanka","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} falalka","threadPage.runAction.environmentSelector.label":"Dooro deegaanka","threadPage.runAction.label":"Socod sii","threadPage.runAction.missing.label":"Diyaari hawl bilaabida","threadPage.runAction.setup.commandLabel":"Amar si loo wado","threadPage.runAction.setup.description":"U sheeg Codex sida loogu shubo xidhmooyinka oo loo bilaabo abkaaga.","threadPage.runAction.setup.editMore":"Setinka deegaanka","threadPage.runAction.setup.placeholder":"tusaale: npm ku shub npm run","threadPage.runAction.setup.submit":"Kaydi oo wad","threadPage.runAction.setup.title":"Socod sii","threadPage.runAction.tooltip.withEnvironment":"{environmentName} falalka","threadPage.toggleDiffPanel":"U beddel qayb ka duwan","threadPage.toggleTerminal":"Beddel bixida","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Fur faylka","toolSummaryForCmd.exploredFiles":"<verb>Faylasha</verb> qoran","toolSummaryForCmd.exploredFilesInPath":"<verb>Faylasha </verb> ku qoran gudaha{path}","toolSummaryForCmd.exploringFiles":"<verb>Qoraya</verb> faylasha","toolSummaryForCmd.exploringFilesInPath":"<verb>Ku qoraya</verb> faylasha gudaha {path}","toolSummaryForCmd.ranGenericCommand":"<status>Maamulo aalada</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Socday</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Akhri</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Maamulayo aalada</status>{timer}","toolSummaryForCmd.runningTimer":"ku saabsan {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Raadiyay</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Raadiyay</verb> faylasha","toolSummaryForCmd.searchedForInPath":"<verb>Ka raadiyay</verb> {query} gudaha {path}","toolSummaryForCmd.searchingFor":"<verb>Raadinaya</verb>{query}","toolSummaryForCmd.searchingForFiles":"<verb>Raadinaya</verb> faylasha","toolSummaryForCmd.searchingForInPath":"<verb>Ka</verb> raadinaya{query} gudaha {path}","traceRecording.details.noteLabel":"Maxaad qabanaysay markay tani dhacday? (ikhtiyaar)","traceRecording.details.notePlaceholder":"Tagay madalo badan oo wayn, ka dibna isku beddelay taabab si soo noqnoqnaysa...","traceRecording.details.submit":"Dir raac raaca","traceRecording.details.subtitle":"Waxaanu u diri karnaa raad raacan duubida si loo caawiyo aqoonsahada dhibta wax qabadka.","traceRecording.details.title":"Diri borofaylka raad raaca?","traceRecording.progress.subtitle":"Ha furnaado Codex marka ay tani dhammaato.","traceRecording.saving.title":"Kaydinaya raad raaca...","traceRecording.startDetails.cancel":"Kansal","traceRecording.startDetails.submit":"Sax, Bilow Duubitaanka","traceRecording.startDetails.subtitle":"Ka dib markaad riixdo OK, dib u soo saar arrinta wax qabadka, ka dibna riix baranka cad ee sababaynaya si loo joojiyo oo dib loogu eego raad raaca.","traceRecording.startDetails.title":"Sida loo Raad raaco Shaqooyinka La duubayo","traceRecording.stopButton.ariaLabel":"Jooji raad raaca duubida","traceRecording.upload.successToast":"Raad raaca borofaylka waa la diray.","traceRecording.uploading.title":"Soo saaraya raad raaca...","wham.diff.addComment":"Ku dar faalooyin","wham.diff.binaryFile":"Faylka kaydka lama muujinaya","wham.diff.noContent":"Waxba kuma jiraan","wham.fileTag.deleted":"La tirtiray","wham.fileTag.new":"Cusub","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}bil","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}t","wham.formattedRelativeDateTime.compactYearsAgo":"{value}s","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Ka shaqaynta hawshaada","wham.whamProposedTask.title":"Hawsha la soo jeediyay","wham.whamProposedTask.useSuggestion":"Isticmaal soo jeedinta","workspaceRootDialog.addError":"Ku guul daraystay in lagu daro mashruuca","workspaceRootDialog.cancel":"Kansal","workspaceRootDialog.confirmAdd":"Ku dar Mashruuca","workspaceRootDialog.confirmPick":"Isticmaal mashruuca","workspaceRootDialog.description":"Geli dhabtada {host}si loo isticmaalo sidii mashruuca.","workspaceRootDialog.pathLabel":"Dhabada mashruuca","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Ku dar dhabada mashruuca","workspaceRootDialog.title.pick":"Dooro dhabada mashruuca","worktreeInitV2.cancel":"Kansal","worktreeInitV2.notification.failedTitle":"Ku shubida worktree way fashilantay","worktreeInitV2.output.empty":"Sugaya natiijada...","worktreeInitV2.status.error":"Ku shubida worktree way fashilantay","worktreeInitV2.status.running":"Samaynta worktree iyo ku shubida.","worktreeInitV2.status.runningFork":"Samaynta worktree si uu u koobiyeeyo wada sheekaysigan.","worktreeInitV2.status.success":"Worktree waa diyaar.","worktreeInitV2.title":"Samaynta worktree","worktreeInitV2.workLocallyInstead":"U shaqee deegaan ahaan badelkii","worktreeRestoreBanner.body":"Fariimaha taxanaha ee worktree waxaa looga saaray inay ku keydiso booska meemoriga.","worktreeRestoreBanner.missing.body":"Galkaan fariimaha taxanaha ee diiwaanka in dheeraad ah ma jiro","worktreeRestoreBanner.missing.title":"Diiwaanka shaqaynaya ee hadda wuu maqan yahay","worktreeRestoreBanner.restore.error":"Ku fashilmay soo celinta faylka: {message}","worktreeRestoreBanner.restore.success":"Waxa la soo celiyay worktree ama faylka","worktreeRestoreBanner.restoreCta":"Faylka waa la soo celiyay","worktreeRestoreBanner.title":"Worktree ama faylkqa waa la nadiifiyay"};Object.assign(a,globalThis.codexI18nOverrides?.["so-SO"]);export{a as default};
 //# sourceMappingURL=so-SO-U2DQLeGd.js.map
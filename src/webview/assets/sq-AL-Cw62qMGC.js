@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopjo","app.sidebar.hide":"Fshih shiritin anësor","app.sidebar.show":"Shfaq shiritin anësor","app.sidebar.tooltip":"Ndrysho shiritin anësor","appHeader.installUpdate":"Përditëso","appSunset.body":"Ky version i aplikacionit nuk mbështetet më. Shkarko versionin e fundit <here>këtu</here>.","appSunset.title":"Kërkohet përditësim","automation.updateDirective.create":"Krijo","automation.updateDirective.open":"Hap","automation.updateDirective.untitled":"Automatizim pa titull","automation.updateDirective.update":"Përditëso","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# përpjekje} other {# përpjekje}}","cloudTaskRow.archiveError":"Detyra nuk u arkivua","code.diff.requestChange":"Kërko ndryshim","code.diffComment.cancel":"Anulo","code.diffComment.comment":"Komento","code.diffComment.delete":"Fshi","code.diffComment.save":"Ruaj","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nuk është raportuar asnjë gjetje.","codex.alert.closeAriaLabel":"Mbyll","codex.appUpsellBanner.cbpApi.message":"Krijo më shpejt me aplikacionin Codex. Shkarko tani ose {learnMoreLink}.","codex.appUpsellBanner.download":"Shkarko","codex.appUpsellBanner.freeGo.message":"Codex-i është i përfshirë në planin tënd deri më 2 mars. Provo aplikacionin Codex për të krijuar më shpejt.","codex.appUpsellBanner.later":"Më vonë","codex.appUpsellBanner.learnMoreLowercase":"mëso më shumë","codex.appUpsellBanner.new":"E re","codex.appUpsellBanner.proPlusBusiness.message":"Provo aplikacionin Codex me 2 herë më shumë kufij përdorimi deri më 2 prill. Shkarko tani ose {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikacioni Codex","codex.applyDropdown.header.changes":"Ndryshimet","codex.applyDropdown.header.fileCount":"{count, plural, one {# skedar} other {# skedarë}}","codex.applyDropdown.header.rows":"rreshta","codex.applyDropdown.header.title":"Zbato ndryshimet","codex.applyDropdown.header.workspace":"Projekti","codex.applyDropdown.results.conflicted":"{count, plural, one {1 skedar në konflikt:} other {{count} skedarë në konflikt:}}","codex.applyDropdown.results.empty":"Nuk u kopjua asnjë skedar","codex.applyDropdown.results.skipped":"{count, plural, one {1 skedar i anashkaluar:} other {{count} skedarë të anashkaluar:}}","codex.applyOrRevertBanner.apply":"Zbato","codex.applyOrRevertBanner.applyMessage":"Të zbatohen ndryshimet dhe të vazhdohet lokalisht?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Kjo detyrë është krijuar në{environment} kështu që mund të mos zbatohet pa probleme.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Ndryshimet e bëra në {environment} mund të mos zbatohen pa probleme.","codex.applyOrRevertBanner.reapply":"Rizbato","codex.applyOrRevertBanner.revert":"Zhbëj","codex.applyOrRevertBanner.revertMessage":"Të zhbëhen ndryshimet e zbatuara?","codex.applyResultsDialog.applied":"Të zbatuara pa probleme ({count})","codex.applyResultsDialog.close":"Mbyll","codex.applyResultsDialog.conflicted":"Në konflikt ({count})","codex.applyResultsDialog.noDetails":"Nuk ka detaje të disponueshme për skedarin.","codex.applyResultsDialog.skipped":"Anashkaluar ({count})","codex.applyResultsDialog.title":"Zbato rezultatet","codex.archiveInfo":"Shiko bisedat e arkivuara në {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrollet e të dhënave","codex.archiveInfo.electron":"Shiko bisedat e arkivuara në {settingsLink}","codex.archiveInfo.extension":"Shiko bisedat e arkivuara në dosjen tënde .codex.","codex.archiveInfo.settingsLink":"Cilësimet","codex.banner.content.description":"Ekzekutoji detyrat paralelisht, gjurmo ecurinë kudo dhe rishikoji PR-të me IA.","codex.banner.content.headline":"Codex-i i bën të gjitha.","codex.cloudTaskRow.archiveTask":"Arkivo detyrën","codex.cloudTaskRow.confirmArchiveTask":"Konfirmo","codex.command.feedback":"Përshtypje","codex.command.findInThread":"Gjej","codex.command.forceReloadSkills":"Detyro ringarkimin e aftësive","codex.command.logOut":"Dil","codex.command.manageTasks":"Menaxho detyrat","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Prapa","codex.command.navigateForward":"Përpara","codex.command.newThread":"Bashkëbisedim i ri","codex.command.nextThread":"Bashkëbisedimi i radhës","codex.command.openFolder":"Hap dosjen","codex.command.openSkills":"Shko tek aftësitë","codex.command.openThreadOverlay":"Bashkëbisedim i shfaqur në ekran","codex.command.personalitySettings":"Personaliteti","codex.command.previousThread":"Bashkëbisedimi i mëparshëm","codex.command.settings":"Cilësimet","codex.command.toggleDiffPanel":"Ndrysho panelin e diferencave","codex.command.toggleSidebar":"Ndrysho shiritin anësor","codex.command.toggleTerminal":"Ndrysho terminalin","codex.commandGroup.app":"Aplikacioni","codex.commandGroup.configure":"Konfiguro","codex.commandGroup.navigation":"Navigimi","codex.commandGroup.panels":"Panelet","codex.commandGroup.skills":"Aftësitë","codex.commandGroup.thread":"Bashkëbisedim","codex.commandGroup.workspace":"Projekti","codex.commandMenu.noResults":"Nuk ka përputhje","codex.commandMenu.searchPlaceholder":"Komandat e kontrollit","codex.commandMenu.suggestedGroup":"Të sugjeruara","codex.commandMenu.switchWorkspace":"Ndërro projektin","codex.commandMenu.title":"Menyja e komandave","codex.common.retry":"Riprovo","codex.composer.searchBranches":"Kërko degët","codex.dialog.basic.body":"Ky është një dialog i thjeshtë modal duke përdorur përmbledhësin tonë rreth Radix Dialog-ut.","codex.dialog.basic.cancel":"Anulo","codex.dialog.basic.confirm":"Konfirmo","codex.dialog.basic.open":"Hap dialogun","codex.dialog.basic.title":"Shembull dialogu","codex.dialog.long.close":"Mbyll","codex.dialog.long.line":"Rresht i lëvizshëm{index} për të treguar përmbajtje të gjatë brenda dialogut.","codex.dialog.long.open":"Hap dialogun e gjatë","codex.dialog.long.title":"Dialog me përmbajtje të gjatë","codex.dialog.unstyled.body":"Kjo histori tregon se si thirrësit mund ta kontrollojnë plotësisht stilimin e përmbajtjes së dialogut.","codex.dialog.unstyled.open":"Hap dialogun e pastilizuar","codex.dialog.unstyled.title":"Përmbajtje e pastilizuar","codex.diff.openInEditorPrompt.openButton":"Hap te modifikuesi","codex.diff.openInEditorPrompt.singleLine":"Ky skedar është shumë i madh për t'u shfaqur këtu.","codex.diffView.failedToDecodeBase64Diff":"Dekodimi i diferencave base64 dështoi","codex.diffView.filesChanged":"{fileCount, plural, one {# skedar i ndryshuar} other {# skedarë të ndryshuar}}","codex.diffView.imagePreviewAlt":"Pamje paraprake e imazhit","codex.diffView.imagePreviewEmpty":"Nuk ka imazh","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nuk ka të dhëna për diferenca","codex.diffView.pdfPreview.nextPage":"Faqja tjetër","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Faqja e mëparshme","codex.diffView.pdfPreviewEmpty":"Jo pamje paraprake e PDF-së","codex.diffView.pdfPreviewError":"E pamundur të krijohet pamja paraprake e PDF-së","codex.diffView.richPreviewDisable":"Çaktivizo pamjen paraprake të detajuar","codex.diffView.richPreviewEnable":"Aktivizo pamjen paraprake të detajuar","codex.diffView.richPreviewLoading":"Duke ngarkuar pamjen paraprake…","codex.diffView.richPreviewToggle":"Ndrysho pamjen paraprake të detajuar","codex.diffView.switchToUnified":"Kalo te ndryshimi i unifikuar","codex.environmentSelector.noEnvironment":"Asnjë mjedis","codex.environments.environmentSettings":"Cilësimet e mjedisit","codex.environments.learnMore":"Mëso më shumë","codex.environments.listError":"Ngarkimi i mjediseve dështoi.","codex.environments.noEnvironmentsFound":"Nuk u gjetën mjedise","codex.environments.searchError":"Kërkimi i mjediseve dështoi.","codex.errorBoundary.genericError":"Ups, ka ndodhur një gabim","codex.errorBoundary.goHome":"Provo përsëri","codex.file.patch.missing":"E pamundur të ndërtohej riparimi për këtë skedar.","codex.gallery.automations.cwdLabel":"Projektet","codex.gallery.automations.nameLabel":"Emri","codex.gallery.automations.namePlaceholder":"Përmblidh një detyrë","codex.gallery.automations.promptLabel":"Kërkesë","codex.gallery.automations.promptPlaceholder":"Përshkruaj ç'duhet të bëjë Codex-i","codex.gallery.dialogs.automation.label":"Dialog automatizimi","codex.gallery.dialogs.basic.body":"Përdor këtë strukturë për konfirmime të drejtpërdrejta ose formularë të shkurtër.","codex.gallery.dialogs.basic.cancel":"Anulo","codex.gallery.dialogs.basic.confirm":"Konfirmo","codex.gallery.dialogs.basic.label":"Dialog bazik","codex.gallery.dialogs.basic.title":"Shembull dialogu","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Përshkruaj problemin","codex.gallery.dialogs.feedbackSubmission.bad":"Rezultat i keq","codex.gallery.dialogs.feedbackSubmission.bug":"Defekt","codex.gallery.dialogs.feedbackSubmission.good":"Rezultat i mirë","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Përfshi regjistrat e sesioneve aktuale të Codex-it","codex.gallery.dialogs.feedbackSubmission.label":"Dorëzimi i përshtypjes","codex.gallery.dialogs.feedbackSubmission.other":"Tjetër","codex.gallery.dialogs.feedbackSubmission.placeholder":"Përshkruaj problemin këtu","codex.gallery.dialogs.feedbackSubmission.submit":"Dorëzo","codex.gallery.dialogs.feedbackSubmission.title":"Përshtypje","codex.gallery.dialogs.feedbackSuccess.body":"Përshtypja u ngarkua. Nëse problemi vazhdon, hap një çështje në GitHub ose përmend ID-në e bashkëbisedimit në një çështje ekzistuese të hapur:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Hiq","codex.gallery.dialogs.feedbackSuccess.label":"Përshtypja u dërgua me sukses","codex.gallery.dialogs.feedbackSuccess.title":"Përshtypja u ngarkua","codex.gallery.dialogs.gitApplyResults.applied":"Zbatuar pastër (2)","codex.gallery.dialogs.gitApplyResults.close":"Mbyll","codex.gallery.dialogs.gitApplyResults.conflicted":"Në konflikt (1)","codex.gallery.dialogs.gitApplyResults.label":"Zbato rezultatet","codex.gallery.dialogs.gitApplyResults.title":"Zbato rezultatet","codex.gallery.dialogs.gitPushError.body":"Tërhiq ndryshimet e fundit ose detyro dërgimin nëse e di që historiku i largët mund të mbishkruhet në mënyrë të sigurt.","codex.gallery.dialogs.gitPushError.cancel":"Anulo","codex.gallery.dialogs.gitPushError.force":"Dërgim i detyruar","codex.gallery.dialogs.gitPushError.label":"Gabim në dërgim","codex.gallery.dialogs.gitPushError.subtitle":"Dega jote është pas “origin/main”.","codex.gallery.dialogs.gitPushError.title":"Ndryshimet nuk u dërguan","codex.gallery.dialogs.gitRevert.cancel":"Anulo","codex.gallery.dialogs.gitRevert.confirm":"Zhbëj","codex.gallery.dialogs.gitRevert.label":"Zhbëj ndryshimet","codex.gallery.dialogs.gitRevert.skip":"Mos pyet sërish","codex.gallery.dialogs.gitRevert.subtitle":"Ky veprim i heq të gjitha këto ndryshime.","codex.gallery.dialogs.gitRevert.title":"Dëshiron të zhbësh ndryshimet?","codex.gallery.dialogs.longForm.label":"Dialog i gjatë","codex.gallery.dialogs.proseModal.body":"Ky stil modali përdoret për udhëzime më të gjata, orientim ose blloqe me përmbajtje të pasur.","codex.gallery.dialogs.proseModal.close":"Mbyll","codex.gallery.dialogs.proseModal.subtitle":"Bashkëndaj udhëzime ose dokumentacione më të gjata këtu.","codex.gallery.dialogs.proseModal.title":"Modal prozë","codex.gallery.dialogs.submitBlocked.label":"Dorëzimi u bllokua","codex.gallery.dialogs.submitBlocked.message":"Mesazhi yt nuk u dërgua sepse projekti është i padisponueshëm.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Mesazhi nuk u dërgua dot","codex.gallery.dialogs.title":"Dialogët","codex.gallery.dropdown.filterPlaceholder":"Filtro artikujt","codex.gallery.dropdowns.actionRow":"Rreshtat e veprimeve","codex.gallery.dropdowns.actionRow.disabled":"Veprimi i çaktivizuar","codex.gallery.dropdowns.actionRow.primary":"Veprimi parësor","codex.gallery.dropdowns.actionRow.secondary":"Veprimi dytësor","codex.gallery.dropdowns.actionRow.trigger":"Shfaq veprimet","codex.gallery.dropdowns.basic":"Meny zbritëse bazë","codex.gallery.dropdowns.basic.newFile":"Skedar i ri","codex.gallery.dropdowns.basic.newFolder":"Dosje e re","codex.gallery.dropdowns.basic.openSettings":"Hap cilësimet","codex.gallery.dropdowns.basic.title":"Veprime të shpejta","codex.gallery.dropdowns.basic.trigger":"Hap menynë","codex.gallery.dropdowns.basic.upload":"Ngarko","codex.gallery.dropdowns.panel":"Sipërfaqe paneli","codex.gallery.dropdowns.panel.apply":"Zbato","codex.gallery.dropdowns.panel.body":"Rishiko diferencat dhe zbatoji në projektin tënd.","codex.gallery.dropdowns.panel.preview":"Pamja paraprake","codex.gallery.dropdowns.panel.title":"Zbato ndryshimet","codex.gallery.dropdowns.panel.trigger":"Hap panelin","codex.gallery.dropdowns.search":"Meny zbritëse e kërkueshme","codex.gallery.dropdowns.search.first":"Kanal Alfa","codex.gallery.dropdowns.search.second":"Degë Beta","codex.gallery.dropdowns.search.third":"Version kandidat","codex.gallery.dropdowns.search.trigger":"Filtro artikujt","codex.gallery.dropdowns.submenu":"Meny zbritëse me nënmeny","codex.gallery.dropdowns.submenu.optionA":"Projekti alfa","codex.gallery.dropdowns.submenu.optionB":"Projekti beta","codex.gallery.dropdowns.submenu.optionC":"Projekti gama","codex.gallery.dropdowns.submenu.primary":"Cakto pronarin","codex.gallery.dropdowns.submenu.secondary":"Zhvendose te","codex.gallery.dropdowns.submenu.tertiary":"Arkivo","codex.gallery.dropdowns.submenu.trigger":"Zgjidh veprimin","codex.gallery.dropdowns.title":"Menytë zbritëse","codex.gallery.inbox.automations.close":"Mbyll","codex.gallery.inbox.automations.popover.cardTitle":"Menaxho automatizimet","codex.gallery.inbox.automations.popover.dialogTitle":"Menaxho automatizimet","codex.header.settingsTooltip":"Cilësimet","codex.hunk.patch.error":"Nuk u vendos në fazën përgatitore","codex.hunk.patch.missing":"E pamundur të ndërtohej riparimi për këtë bllok ndryshimesh","codex.hunk.patch.partialSuccess":"Sukses i pjesshëm","codex.hunk.patch.revertError":"Nuk u hoq nga faza përgatitore","codex.hunk.patch.revertSuccess":"U hoq me sukses nga faza përgatitore","codex.hunk.patch.success":"U vendos me sukses në fazën përgatitore","codex.legal.autonomy.details":"Për më shumë detaje, shiko {link}","codex.legal.autonomy.details.link":"Dokumentet e Codex-it","codex.legal.autonomy.title":"Vendos se sa shumë pavarësi dëshiron të japësh","codex.legal.backButton":"Prapa","codex.legal.cloud.taskOne.meta":"openai/agi · 12 tetor","codex.legal.cloud.taskOne.title":"Shpjegoja depon një projektuesi të ri","codex.legal.cloud.taskThree.meta":"openai/codex · 8 tetor","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Krijo një temë me modalitet të errët","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 tetor","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ndreq një defekt integrimi","codex.legal.continue.apikey":"Vazhdo","codex.legal.continueButton":"Para","codex.legal.copilot.details":"Përdor planin tënd Copilot për të gjitha modelet e thirrjeve, faturimin dhe kufijtë e tarifave. Përdorimi i shtesës Codex u nënshtrohet {oaiTos} dhe {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Kushtet e shërbimit të GitHub-it","codex.legal.copilot.oaiTosLink":"Kushtet e shërbimit të OpenAI Codex-it","codex.legal.copilot.title":"Mundësuar nga GitHub Copilot","codex.legal.mistakes.review":"Rishiko kodin që shkruan dhe komandat që ekzekuton ai","codex.legal.mistakes.title":"Codex-i mund të bëjë gabime","codex.legal.powered.details":"Përdor kufijtë e e përdorimit të planit tënd dhe {link}","codex.legal.powered.details.link":"preferencat e të dhënave të trajnimit","codex.legal.powered.title":"Mundësuar nga llogaria jote në ChatGPT","codex.legal.step.cloud.subtitle":"Dërgoji detyrat në Codex që të ekzekutohen në sfond në mënyrë që të qëndrosh i përqendruar dhe të lëvizësh më shpejt.","codex.legal.step.cloud.title":"Dorëzoje te Codex-i në renë kompjuterike","codex.legal.step.intro.subtitle":"Codex-i navigon, modifikon, zbaton komanda dhe ekzekuton teste direkt në arkivin tënd. Mundësuar nga llogaria jote në ChatGPT.","codex.legal.step.intro.title":"Codex në IDE-në tënde","codex.legal.step.todo.subtitle":"Shkruaj një koment TODO dhe konvertoje në një detyrë Codex-i me një klikim të vetëm.","codex.legal.step.todo.title":"Ktheji detyrat TODO në detyra Codex-i","codex.legal.todo.heading":"// TODO: zbato skemën","codex.localConversation.closeImagePreview":"Mbyll pamjen paraprake të imazhit","codex.localConversation.userImageAttachment":"Bashkëngjitje e përdoruesit","codex.localTaskRow.archiveTask":"Arkivo bashkëbisedimin","codex.localTaskRow.awaitingApproval":"Duke pritur miratimin","codex.localTaskRow.awaitingResponse":"Duke pritur përgjigjen","codex.localTaskRow.confirmArchiveTask":"Konfirmo","codex.loggedOut.apiKeyPrompt.cancel":"Anulo","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Merr çelësin API","codex.loggedOut.apiKeyPrompt.inputLabel":"Vendos çelësin tënd API të OpenAI-t","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Detyrat e resë kompjuterike janë çaktivizuar me çelësin API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Detyrat e resë kompjuterike janë çaktivizuar me Copilot-in dhe çelësin API","codex.loggedOut.signIn":"Hyr me ChatGPT","codex.loggedOut.signIn.cancel":"Anulo hyrjen","codex.loggedOut.signInWithCopilot":"Hyr me GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Përdor çelësin API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP mjeti {tool}","codex.mcpTool.collapsedLabel.verb.called":"U thirr","codex.mcpTool.collapsedLabel.verb.calling":"Duke thirrur","codex.mcpTool.embeddedResource.contentLabel":"Përmbajtja","codex.mcpTool.embeddedResource.mimeTypeLabel":"Lloji i MIME-s","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Mjeti nuk ktheu përmbajtje","codex.mcpTool.rawPayloadHeading":"Ngarkim i papërpunuar i thirrjes së mjetit {server}.{tool}","codex.menu.recent":"Të fundit","codex.menu.seeAllHistory":"Shiko gjithë historikun","codex.modelCapacityBanner.headline.noReset":"{modelName} është në kapacitet të plotë për momentin. Provo përsëri më vonë ose nis një bisedë të re me një model tjetër.","codex.modelCapacityBanner.headline.withReset":"{modelName} është në kapacitet të plotë për momentin. Provo përsëri pas {resetDate} ose nis një bisedë të re me një model tjetër.","codex.modelCapacityBanner.title":"Model i përzgjedhur është në kapacitet të plotë","codex.patch.change.contentsDeleted":"Përmbajtjet u fshinë","codex.patch.change.created":"U krijua","codex.patch.change.created-file":"Skedar i krijuar","codex.patch.change.creating":"Duke u krijuar","codex.patch.change.deleted":"U fshi","codex.patch.change.deleted-file":"Skedar i fshirë","codex.patch.change.deleting":"Duke u fshirë","codex.patch.change.edited":"U modifikua","codex.patch.change.edited-file":"Skedar i modifikuar","codex.patch.change.editing":"Duke u modifikuar","codex.patch.change.noChanges":"Asnjë ndryshim","codex.patch.change.rejected-add":"U refuzua","codex.patch.change.rejected-delete":"U refuzua","codex.patch.change.rejected-edit":"U refuzua","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} nga {total} detyra të përfunduara","codex.plan.todoListCreated":"Lista e gjërave për t’u bërë u krijua me{total} detyra","codex.profileDropdown.apiKeyAuth":"Ka hyrë me çelësin API","codex.profileDropdown.codexSettings":"Cilësimet e Codex-it","codex.profileDropdown.copilotAuth":"Ka hyrë me Copilot","codex.profileDropdown.defaultAccountTitle":"Llogaria e parazgjedhur","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter për të dërguar kërkesa të gjata","codex.profileDropdown.enterBehaviorError":"Përditësimi i cilësimit dështoi","codex.profileDropdown.getPlus":"Përmirëso për kufij më të lartë","codex.profileDropdown.keyboardShortcuts":"Shkurtoret e tastierës","codex.profileDropdown.language":"Gjuha","codex.profileDropdown.languageDefault":"Dikto automatikisht","codex.profileDropdown.languageSearchPlaceholder":"Kërko gjuhët","codex.profileDropdown.languageUpdateError":"Gjuha nuk u përditësua","codex.profileDropdown.logOut":"Dil","codex.profileDropdown.mcp":"Cilësimet e MCP-së","codex.profileDropdown.openConfigToml":"Hap config.toml","codex.profileDropdown.openConfigToml.wsl":"Hap mjedisin config.toml in WSL","codex.profileDropdown.openExtensionSettings":"Hap cilësimet","codex.profileDropdown.openMcpSettings":"Hap cilësimet e MCP-së","codex.profileDropdown.openOnStartup":"Hap në nisje","codex.profileDropdown.openOnStartupError":"Përditësimi i cilësimit dështoi","codex.profileDropdown.openSkillsSettings":"Hap cilësimet e aftësive","codex.profileDropdown.personalAccountTitle":"Llogari personale","codex.profileDropdown.queueFollowUps":"Kërkesat vijuese në radhë","codex.profileDropdown.queueFollowUpsError":"Përditësimi i cilësimit dështoi","codex.profileDropdown.readDocs":"Lexo dokumentet","codex.profileDropdown.readSkillsDocs":"Lexo dokumentet","codex.profileDropdown.runInWsl":"Ekzekuto në WSL","codex.profileDropdown.runInWslError":"Përditësimi i cilësimit dështoi","codex.profileDropdown.runInWslTooltip":"Ekzekuton Codex-in brenda WSL-së. Rekomandohet për të përmirësuar sigurinë e mjedisit të testimit dhe për performancë më të mirë.","codex.profileDropdown.settings":"Cilësimet e IDE-së","codex.profileDropdown.settingsPage":"Cilësimet","codex.profileDropdown.signInWithOpenAI":"Hyr me ChatGPT","codex.profileDropdown.skills":"Cilësimet e aftësive","codex.profileDropdown.switchToCopilotAccount":"Përdor llogarinë Copilot","codex.profileDropdown.switchToOpenAIAccount":"Përdor llogarinë OpenAI","codex.profileDropdown.todoCodelens":"Ndreq komentet TODO","codex.profileDropdown.todoCodelensError":"Përditësimi i cilësimit dështoi","codex.profileDropdown.windowsDocumentation":"Dokumentacioni i Windows-it","codex.profileFooter.signedInFallback":"Cilësimet","codex.profileFooter.upgrade":"Përmirëso","codex.recentTasksMenu.clearSearch":"Pastro kërkimin","codex.recentTasksMenu.cloud":"Detyrat e resë kompjuterike","codex.recentTasksMenu.count":"{count, plural, =0 {Nuk ka detyra në proces} one {# detyrë në proces} other {# detyra në proces}}","codex.recentTasksMenu.empty":"Nuk ka ende bashkëbisedime","codex.recentTasksMenu.errorCloud":"Ngarkimi i detyrave dështoi.","codex.recentTasksMenu.errorCloud.inline":"Ngarkimi i detyrave të resë kompjuterike dështoi.","codex.recentTasksMenu.filterAll":"Të gjitha","codex.recentTasksMenu.filterCloudTasks":"Filtro detyrat e resë kompjuterike","codex.recentTasksMenu.filterTooltip":"Filtro detyrat sipas mjedisit","codex.recentTasksMenu.local":"Detyrat lokale","codex.recentTasksMenu.recent":"Të gjitha detyrat","codex.recentTasksMenu.search":"Kërko detyrat e fundit","codex.recentTasksMenu.searchEmpty":"Asnjë rezultat","codex.recentTasksMenu.tooltip":"Historiku i detyrave","codex.recentTasksMenu.trigger":"Detyrat e fundit. {count, plural, one {# në proces} other {# në proces}}","codex.remoteConversation.applyDiff.applyCta":"Zbato ndryshimet","codex.remoteConversation.applyDiff.dropdownTitle":"Zbatoji ndryshimet në një degë lokale","codex.remoteConversation.applyDiff.revertCta":"Zhbëj ndryshimet","codex.remoteConversation.closeImagePreview":"Mbyll pamjen paraprake të imazhit","codex.remoteConversation.codexCloudTask":"Po shikon një detyrë <u>Codex-i në renë kompjuterike</u>","codex.remoteConversation.errorWithMessage":"Gabim: {message}","codex.remoteConversation.loadingImage":"Duke ngarkuar imazhin","codex.remoteConversation.openInWeb":"Hape në ueb","codex.remoteConversation.streaming":"Duke nisur","codex.remoteConversation.turnFailed":"Ndodhi një gabim gjatë kësaj detyre","codex.remoteConversation.turnTab.loading":"Përpjekja {number}","codex.remoteConversation.turnTab.title":"Përpjekja {number}","codex.remoteConversation.userImageAttachment":"Bashkëngjitje e përdoruesit","codex.remoteConversation.viewPreviousTurns":"Hape në ueb","codex.remoteConversation.viewPreviousTurns.buttonText":"Hap","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Hape në ueb","codex.review.copyGitApplyCommand":'Kopjo komandën "git-apply"',"codex.review.copyGitApplyCommand.toast":'Komanda "git-apply" u kopjua në kujtesën e fragmenteve',"codex.review.diffTooLarge.description":"Kjo diferencë është shumë e madhe për t'u shfaqur te rishikimi.","codex.review.diffTooLarge.title":"Diferenca është shumë e madhe për t'u shfaqur","codex.review.expandOrCollapseDiffButton.collapse":"Palosi të gjitha diferencat","codex.review.expandOrCollapseDiffButton.expand":"Zgjeroji të gjitha diferencat","codex.review.expandOrCollapseDiffMenu.collapse":"Palosi të gjitha diferencat","codex.review.expandOrCollapseDiffMenu.expand":"Zgjeroji të gjitha diferencat","codex.review.fileSearch.clear":"Pastro filtrin e skedarit","codex.review.fileSearch.empty":"Nuk ka skedarë që përputhen me filtrin aktual.","codex.review.fileSearch.label":"Filtro skedarët","codex.review.fileSearch.placeholder":"Filtro skedarët…","codex.review.filesChanged":"{num, plural, =0 {Asnjë skedar i ndryshuar} one {# skedar i ndryshuar} other {# skedarë të ndryshuar}}","codex.review.find.loadMore":"Ngarko më shumë përputhje","codex.review.fullReview.hideFileTree":"Fshih pemën e skedarit","codex.review.fullReview.showFileTree":"Shfaq pemën e skedarit","codex.review.header.moreOptions":"Opsionet e rishikimit","codex.review.largeDiff.banner":"Janë zbuluar diferenca të mëdha — duke shfaqur skedarët një nga një.","codex.review.loadFullFiles.disable":"Mos ngarko skedarë të plotë","codex.review.loadFullFiles.enable":"Ngarko skedarë të plotë","codex.review.noDiff":"Ndryshimet e skedarit do të shfaqen këtu","codex.review.noDiff.gitInit.createRepository":"Krijo një depo git","codex.review.noDiff.gitInit.creating":"Duke krijuar...","codex.review.noDiff.gitInit.error":"Nisja e Git-it dështoi: {message}","codex.review.noDiff.gitInit.success":"Depoja Git u krijua","codex.review.noDiff.gitRepoRequired.description":"Gjurmo dhe zhbëj ndryshimet në këtë projekt","codex.review.noDiff.gitRepoRequired.title":"Krijo depo Git","codex.review.noDiff.orNoLongerAvailable":"ose diferencat e fundit nuk janë më të disponueshme","codex.review.noDiff.reverted":"Ndërveprimi i fundit është zhbërë","codex.review.noDiff.revertedOrCommitted":"Ndërveprimi i fundit është zhbërë ose është ruajtur","codex.review.refreshGitQueries":"Rifresko","codex.review.revert.file.error":"Nuk u zhbë {path}","codex.review.revert.file.partialSuccess":"U zhbë pjesërisht {path}","codex.review.revert.file.success":"U zhbë {path}","codex.review.revert.hunk.error":"Blloku {hunkNumber} i ndryshimeve në {path} nuk u zhbë","codex.review.revert.hunk.partialSuccess":"Blloku {hunkNumber} i ndryshimeve në {path} u zhbë pjesërisht","codex.review.revert.hunk.success":"Blloku {hunkNumber} i ndryshimeve në {path} u zhbë","codex.review.revert.section.error":"Seksioni nuk u zhbë","codex.review.revert.section.partialSuccess":"Seksioni u zhbë pjesërisht","codex.review.revert.section.success":"Seksioni u zhbë","codex.review.revertDialog.cancel":"Anulo","codex.review.revertDialog.confirm":"Konfirmo","codex.review.revertDialog.message":"Ky veprim i heq të gjitha këto ndryshime.","codex.review.revertDialog.skip":"Mos pyet sërish","codex.review.revertDialog.title":"Dëshiron të zhbësh ndryshimet?","codex.review.richPreview.disable":"Çaktivizo pamjen paraprake të detajuar","codex.review.richPreview.enable":"Aktivizo pamjen paraprake të detajuar","codex.review.source.cloud":"Ndryshimet e resë kompjuterike","codex.review.source.local.all":"Të gjitha ndryshimet e degës","codex.review.source.local.lastTurn":"Ndryshimet e versionit të fundit","codex.review.source.local.uncommitted":"Ndryshimet e paruajtura","codex.review.source.worktree":"Ndryshimet e paruajtura të pemës së punës","codex.review.stageFilter.empty.staged.description":"Prano modifikimet për t'i vendosur në fazën përgatitore","codex.review.stageFilter.empty.staged.title":"Nuk ka ndryshime të vendosura në fazën përgatitore","codex.review.stageFilter.empty.unstaged.description":"Ndryshimet e kodit do të shfaqen këtu","codex.review.stageFilter.empty.unstaged.title":"Nuk ka ndryshime të pavendosura në fazën përgatitore","codex.review.stageFilter.staged":"Në fazën përgatitore","codex.review.stageFilter.staged.count":"Në fazën përgatitore· {count}","codex.review.stageFilter.unstaged":"Të pavendosura në fazën përgatitore","codex.review.stageFilter.unstaged.count":"Të pavendosura në fazën përgatitore · {count}","codex.review.switchToSplit":"Kalo te diferencat e ndara","codex.review.switchToUnified":"Kalo te diferencat e unifikuara","codex.review.toggleDiffView":"Ndrysho pamjen e diferencave","codex.review.wordDiffs.disable":"Çaktivizo diferencat sipas fjalëve","codex.review.wordDiffs.enable":"Aktivizo diferencat sipas fjalëve","codex.review.wrap.disable":"Çaktivizo thyerjen e tekstit","codex.review.wrap.enable":"Aktivizo thyerjen e tekstit","codex.section.patch.missing":"E pamundur të ndërtohej riparimi për këtë seksion.","codex.shell.collapse":"Palos shellin","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Përmbajtjet e shellit u kopjuan","codex.shell.copy.copyTooltip":"Kopjo përmbajtjet e shellit","codex.shell.copyCommand":"Kopjo komandën","codex.shell.copyOutput":"Kopjo rezultatin","codex.shell.cwdLabel":"direktoria aktuale","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Zgjero shellin","codex.shell.name":"Shelli","codex.shell.noOutput":"Nuk ka rezultat","codex.signInFailed.message":"Hyrja dështoi: {rawMessage}","codex.stories.toast.show":"Shfaq banderolën","codex.stories.tooltip.basic":"Kjo është një dritare informimi","codex.stories.tooltip.hoverMe":"Mbaj kursorin sipër","codex.stories.tooltip.largerOffset":"Kjo dritare informimi ka një distancë më të madhe","codex.stories.tooltip.offsetButton":"Distancë më e madhe","codex.stories.tooltip.shortcutButton":"Me shkurtore","codex.stories.tooltip.withShortcut":"Ndrysho terminalin","codex.taskRow.title":"Bashkëbisedim i ri","codex.taskRowLayout.confirm":"Konfirmo","codex.threadFindBar.chatFilter":"Kërko bisedën","codex.threadFindBar.close":"Mbyll gjetjen","codex.threadFindBar.diffFilter":"Kërko diferencat","codex.threadFindBar.label":"Gjej në bashkëbisedim","codex.threadFindBar.nextResult":"Rezultati i radhës","codex.threadFindBar.noResults":"0 rezultate","codex.threadFindBar.placeholder":"Kërko bashkëbisedimin…","codex.threadFindBar.placeholder.extension":"Kërko bashkëbisedimin…","codex.threadFindBar.placeholder.review":"Kërko diferencën…","codex.threadFindBar.placeholder.review.extension":"Kërko diferencën…","codex.threadFindBar.previousResult":"Rezultati i mëparshëm","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# skedar i ndryshuar} other {# skedarë të ndryshuar}}","codex.unifiedDiff.inlineLargeFile":"Shumë i madh për t'u paraqitur brenda rreshtit","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Zhbëj","codex.unifiedDiff.revertPatchError":"Ndryshimet nuk u zhbënë","codex.unifiedDiff.revertPatchSuccess":"Ndryshimet u zhbënë","codex.unifiedDiff.reviewChangesSuffix":"ndryshimet","codex.unifiedDiff.reviewShort":"Rishiko","codex.unifiedDiff.viewDiffTooltip":"Rishiko","codex.upsellBanner.business.headline":"Për të pasur më shumë qasje tani, dërgo një kërkesë tek administratori yt ose prit deri më {resetDate}.","codex.upsellBanner.cbp.headline":"Për të marrë më shumë qasje tani, dërgo një kërkesë tek administratori yt.","codex.upsellBanner.cta.addCredits":"Shto kredite","codex.upsellBanner.cta.upgradeAccount":"Përmirëso","codex.upsellBanner.cta.viewUsage":"Shih përdorimin","codex.upsellBanner.free.trialHeadline":"Kufiri yt i përdorimit do të rivendoset më {resetDate}. Që të vazhdosh të përdorësh Codex-in dhe të kesh qasje në GPT-5.3-Codex fillo provën tënde falas të Plus-it sot.","codex.upsellBanner.freeOrGo.headline":"Kufiri yt i përdorimit rivendoset më {resetDate}. Që të vazhdosh të përdorësh Codex-in, përmirëso në Plus sot.","codex.upsellBanner.general.headline":"Kufiri yt i përdorimit rivendoset më {resetDate}.","codex.upsellBanner.general.title":"Të kanë mbaruar mesazhet nga Codex-i","codex.upsellBanner.go.trialHeadline":"Kufiri yt i përdorimit do të rivendoset më {resetDate}. Që të vazhdosh të përdorësh Codex-in, fillo provën tënde falas të Plus-it sot.","codex.upsellBanner.plus.headline":"Kufiri yt i përdorimit rivendoset më {resetDate}. Që të vazhdosh të përdorësh Codex-in, shto kredite ose përmirëso në Pro sot.","codex.upsellBanner.pro.headline":"Kufiri yt i përdorimit rivendoset më {resetDate}. Shto kredite që të vazhdosh të përdorësh Codex-in tani.","codex.userMessage.autoResolveSync":"Zgjidh konfliktet automatikisht","codex.userMessage.commentCount":"{count, plural, one {# koment} other {# komente}}","codex.userMessage.copiedAriaLabel":"U kopjua","codex.userMessage.copiedTooltip":"U kopjua","codex.userMessage.copyAriaLabel":"Kopjo mesazhin","codex.userMessage.copyTooltip":"Kopjo","codex.userMessage.implementPlan":"Zbato planin","codex.userMessage.noContent":"(Nuk ka përmbajtje)","codex.userMessage.priorConversation":"I referohet bisedës së mëparshme","codex.userMessage.reviewMode":"Modaliteti i rishikimit","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"për {query}","codex.webSearch.summary.verb.completed":"Kërkoi uebin","codex.webSearch.summary.verb.inProgress":"Duke kërkuar uebin","codex.windowsInstallWslBanner.dismiss":"Hiq","codex.windowsInstallWslBanner.installWslCta":"Aktivizo mjedisin e testimit","codex.windowsInstallWslBanner.learnMore":"Mëso më shumë","codex.windowsSandboxBanner.content":"Modaliteti i agjentit përdor një mjedis testimi eksperimental në Windows për të kufizuar qasjen në sistemin e skedarëve dhe në rrjet. {sandboxLink}","codex.windowsSandboxBanner.title":"Aktivizo mjedisin e testimit për modalitetin e agjentit","codex.windowsSubDropdown.windowsSandbox":"Mjedis testimi në Windows","codex.windowsSubDropdown.windowsSettings":"Cilësimet e Windows-it","codexUpgradeModal.body":"Modeli ynë më i fundit dhe më i avancuar i kodimit me agjentë — më i zgjuar, më i shpejtë dhe më i aftë në punë të përgjithshme teknike. {link}","codexUpgradeModal.close":"Mbyll","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Mëso më shumë","codexUpgradeModal.title":"Prezantojmë GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Provo GPT-5.3-Codex-in tani","codexUpgradeModal.useExistingModel":"Vazhdo me modelin aktual","commentAttachments.numComments":"{count, plural, one {# koment} other {# komente}}","commentAttachments.removeAriaLabel":"Hiq bashkëngjitjen e komenteve","common.close":"Mbyll","composer.addContext.openFilePickerError":"E pamundur të hapet përzgjedhësi i skedarëve","composer.addContextDropdown.ariaLabel":"Shto skedarë e më shumë","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Shto skedarë e më shumë","composer.addPhotosAndFiles":"Shto fotografi dhe skedarë","composer.atMentionList.emptyQuery":"Shkruaj për të kërkuar skedarë","composer.atMentionList.loading":"Duke kërkuar...","composer.atMentionList.noResults":"Nuk ka rezultate","composer.attemptsSelector.option":"{count, plural, one {# version} other {# versione}}","composer.attemptsSelector.tooltip":"Numri i përpjekjeve paralele që të bëjë Codex-i","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Ndalo","composer.cloudFollowUp.cloud":"Reja kompjuterike","composer.cloudFollowUp.local":"Lokalisht","composer.cloudFollowUp.whereRun":"Ku duhet të ekzekutohet ky veprim pasues?","composer.cloudTaskCreationError":"Gabim gjatë krijimit të detyrës në renë kompjuterike","composer.cloudTaskError":"Gabim gjatë krijimit të detyrës","composer.contextWindow.autoCompactionTooltipLine1":"Codex-i e përmbledh automatikisht kontekstin e tij","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Dritarja e kontekstit:","composer.contextWindowUsageStatusFull":"{usage}% mbushur","composer.contextWindowUsageStatusLeft":"{usage}% përdorur ({remaining}% mbetur)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokenë të përdorur","composer.customCliTooltip":"Duke përdorur një CLI të personalizuar të ekzekutueshme","composer.dictation.aria":"Dikto","composer.dictation.cancel.aria":"Ndalo diktimin","composer.dictation.cancel.tooltip":"Ndalo diktimin","composer.dictation.startError":"Diktimi nuk mund të fillojë","composer.dictation.submit.aria":"Transkripto dhe dërgo","composer.dictation.submit.tooltip":"Transkripto dhe dërgo","composer.dictation.tooltip":"Mbaj për të diktuar","composer.dictation.transcribeError":"Audioja nuk mund të transkriptohet","composer.dictation.unsupported":"Diktimi nuk është i disponueshëm në këtë pajisje","composer.dropOverlay.holdShift":"Mbaj {key} për të lëshuar","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Krijo të ri","composer.environmentSelector.error":"Gabim gjatë ngarkimit të mjediseve","composer.environmentSelector.goBack":"Kthehu te kompozuesi","composer.environmentSelector.title":"Përzgjidh mjedisin","composer.environmentSelector.tooltip":"Përzgjidh një mjedis të resë kompjuterike","composer.feedbackSlashCommand.title":"Përshtypje","composer.filePicker.selectFile":"Përzgjidh një skedar","composer.filePicker.selectFiles":"Përzgjidh skedarë","composer.followerTooltip":"Për të vazhduar, kthehu në dritaren ku nisi kjo bisedë.","composer.footer.branchSwitch.checkoutError":"Ndryshimi i degës dështoi: {message}","composer.footer.branchSwitch.createAndCheckout":"Krijo dhe kalo në degën e re...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Ruaj ndryshimet për të krijuar dhe kaluar në një degë të re","composer.footer.branchSwitch.createBranchError":"Dega nuk u krijua: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Emri i degës","composer.footer.branchSwitch.createDialog.branchExistsError":"Dega ekziston tashmë.","composer.footer.branchSwitch.createDialog.close":"Mbyll","composer.footer.branchSwitch.createDialog.createAndCheckout":"Krijo dhe kalo","composer.footer.branchSwitch.createDialog.placeholder":"degë e re","composer.footer.branchSwitch.createDialog.title":"Krijo dhe kalo në degë","composer.footer.branchSwitch.createDialog.trailingSlashError":"Emri i degës nuk mund të përfundojë me “/”.","composer.footer.branchSwitch.tooltip":"Ndrysho degën","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Ruaj ndryshimet në {fileCount, plural, one {# skedar} other {# skedarë}} për të kaluar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Ruaj","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"ndryshimet në {fileCount, plural, one {# skedar} other {# skedarë}} për të kaluar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Anulo","composer.footer.branchSwitch.uncommittedDialog.commit":"Ruaj dhe ndërro degë...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Ndryshimet e tua në skedarët e mëposhtëm do të mbishkruhen nga kalimi:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Ruaj ndryshimet e tua për të vazhduar","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"dega e përzgjedhur","composer.footer.branchSwitch.uncommittedDialog.title":"Ruaj ndryshimet për të ndërruar degën","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Të paruajtura: {fileCount, plural, one {# skedar} other {# skedarë}}","composer.forkSlashCommand.description":"Bigëzoje këtë bashkëbisedim në mjedisin lokal ose në një pemë pune të re","composer.forkSlashCommand.option.local.description":"Vazhdo në një bashkëbisedim lokal të ri","composer.forkSlashCommand.option.local.title":"Bigëzoje në mjedisin lokal","composer.forkSlashCommand.option.worktree.description":"Vazhdo në një pemë pune të re","composer.forkSlashCommand.option.worktree.title":"Bigëzoje në një pemë pune të re","composer.forkSlashCommand.title":"Bigëzim","composer.ideContextIndicator":"Konteksti i IDE-së","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Përfshi kontekstin nga IDE-ja","composer.ideContextIndicator.tooltipToggle":"për të ndryshuar","composer.ideContextSlashCommand.disableDescription":"Çaktivizo kontekstin e IDE-së","composer.ideContextSlashCommand.enableDescription":"Përfshi përzgjedhjen aktuale, skedarët e hapur dhe kontekstin tjetër nga IDE-ja jote","composer.ideContextSlashCommand.title":"Konteksti i IDE-së","composer.imageInputsUnsupported":"Ky model nuk mbështet hyrjet e imazhit. Provo një model tjetër.","composer.imageUploadFailed":"Imazhi nuk u ngarkua","composer.includeIdeContextDropdown":"Përfshi kontekstin e IDE-së","composer.includeIdeContextDropdown.ariaLabel":"Përfshi kontekstin e IDE-së","composer.localCwdDropdown.addWorkspaceRoot":"Shto një projekt të ri","composer.localCwdDropdown.noActiveRoot":"Përzgjidh projektin tënd","composer.localCwdDropdown.noResults":"Nuk u gjet asnjë dosje","composer.localCwdDropdown.title":"Përzgjidh projektin tënd","composer.localTaskError":"Gabim gjatë fillimit të bisedës","composer.mcpSlashCommand.description":"Shfaq statusin e serverit MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"I pavërtetuar","composer.mcpStatus.authOauth":"I vërtetuar (OAuth)","composer.mcpStatus.authToken":"I vërtetuar (çelës API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Mbyll","composer.mcpStatus.disabled":"Çaktivizuar","composer.mcpStatus.emptyLabel":"Serverët:","composer.mcpStatus.emptyValue":"Asnjë server MCP i konfiguruar","composer.mcpStatus.enabled":"Aktivizuar","composer.mcpStatus.errorLabel":"Statusi:","composer.mcpStatus.errorValue":"Statusi MCP nuk ngarkohet","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agjenti","composer.mode.agentMode.auto.dropdownLabel":"Agjenti","composer.mode.agentMode.auto.optionLabel":"Agjenti","composer.mode.agentMode.changePermission":"Ndërro modalitetin","composer.mode.agentMode.custom":"I personalizuar","composer.mode.agentMode.custom.dropdownLabel":"I personalizuar","composer.mode.agentMode.custom.option":"I personalizuar (config.toml)","composer.mode.agentMode.custom.optionLabel":"I personalizuar (config.toml)","composer.mode.agentMode.customInfo.cancel":"Anulo","composer.mode.agentMode.customInfo.cli":"Mund t’i rregullosh cilësimet nga CLI-ja ose duke modifikuar drejtpërdrejt skedarin.","composer.mode.agentMode.customInfo.confirm":"Përdor modalitetin e personalizuar","composer.mode.agentMode.customInfo.description":"Modaliteti i personalizuar zbaton politikat e miratimit dhe mjedisit të testimit të përcaktuara në <link>config.toml</link> skedar.","composer.mode.agentMode.customInfo.docs":"Mëso më shumë për konfigurimin e politikave të miratimit dhe mjedisit të testimit në <link>dokumentet e mjedisit të ekzekutimit</link>.","composer.mode.agentMode.customInfo.refresh":"Çdo ndryshim hyn në fuqi herën e ardhshme që ekzekutohet agjenti.","composer.mode.agentMode.customInfo.title":"Si funksionon modaliteti i personalizuar","composer.mode.agentMode.fullAccess":"Agjenti (qasje e plotë)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agjenti (qasje e plotë)","composer.mode.agentMode.fullAccess.optionLabel":"Agjenti (qasje e plotë)","composer.mode.agentMode.fullAccessConfirm.caution":"Bëj kujdes kur jep qasje të plotë. Kjo rrit në mënyrë të konsiderueshme rrezikun e humbjes së të dhënave, rrjedhjes së informacioneve ose sjelljeve të papritura.","composer.mode.agentMode.fullAccessConfirm.confirm":"Po, gjithsesi vazhdo","composer.mode.agentMode.fullAccessConfirm.description":"Kur Codex-i ekzekutohet me qasje të plotë, mund të modifikojë çdo skedar në kompjuterin tënd dhe të ekzekutojë komanda me rrjetin, pa miratimin tënd.","composer.mode.agentMode.fullAccessConfirm.goBack":"Anulo","composer.mode.agentMode.fullAccessConfirm.title":"Të aktivizohet qasja e plotë?","composer.mode.agentMode.readOnly":"Bisedë","composer.mode.agentMode.readOnly.dropdownLabel":"Bisedë","composer.mode.agentMode.readOnly.optionLabel":"Bisedë","composer.mode.agentMode.tooltip":"Ndërro modalitetin","composer.mode.agentMode.tooltip.auto":"Lexo e modifiko skedarët dhe ekzekuto komandat.","composer.mode.agentMode.tooltip.custom":"Përdor politikat e fundit të miratimit dhe mjedisit të testimit të përcaktuara në config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex-i mund të modifikojë skedarë jashtë këtij projekti dhe të ekzekutojë komanda me qasje në rrjet. Trego kujdes gjatë përdorimit.","composer.mode.agentMode.tooltip.readOnly":"Kërkon miratim për të modifikuar skedarë dhe për të ekzekutuar komanda.","composer.mode.cloud.tooltip":"Puno në një mjedis të resë kompjuterike","composer.mode.contactAdmin":"Për të pasur më shumë qasje, kontakto administratorin tënd","composer.mode.local":"Lokalisht","composer.mode.local.learnMore":"Mëso më shumë","composer.mode.local.model.custom":"I personalizuar","composer.mode.local.model.loadingModel":"Duke ngarkuar modelin","composer.mode.local.model.selecrReasoningEffort":"Zgjidh arsyetimin","composer.mode.local.model.selectModel":"Zgjidh modelin","composer.mode.local.model.tooltip":"Zgjidh modelin","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"I lartë","composer.mode.local.reasoning.low.label":"I ulët","composer.mode.local.reasoning.medium.label":"I mesëm","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Asnjë","composer.mode.local.reasoning.xhigh.label":"Shumë i lartë","composer.mode.localRemoteWhereRun":"Zgjidh ku të ekzekutohet detyra","composer.mode.newTask.header":"Vazhdo te","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"Kufijtë e mbetur të përdorimit","composer.mode.rateLimit.hour":"{hours}o","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"Kufiri i {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {kufiri javor} other {kufiri {weeks}-javor}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Javor} other {{weeks}-javor}}","composer.mode.remote.connectToCloud":"Lidh Codex-in në ueb","composer.mode.remote.connectToCloudDisabledTooltip":"Konfiguro një mjedis nëpërmjet Codex-it në ueb për të aktivizuar dërgimin e detyrave në renë kompjuterike","composer.mode.remote.selectEnvironment":"Përzgjidh mjedisin","composer.mode.remote.sendToCloud":"Dërgo te reja kompjuterike","composer.mode.remote.setupViaWeb":"Konfiguro një mjedis nëpërmjet Codex-it në ueb","composer.mode.runInCloud":"Reja kompjuterike","composer.mode.runInCloudWithEnvironment":"Reja kompjuterike · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Puno në një mjedis në renë kompjuterike","composer.mode.segmentedToggle.local.tooltip":"Puno në projektin tënd lokal","composer.mode.segmentedToggle.worktree.tooltip":"Puno në një pemë pune paralele","composer.mode.upgradeToPlus":"Përmirëso në Plus","composer.mode.upgradeToPro":"Përmirëso në Pro","composer.mode.workLocally":"Projekt lokal","composer.mode.workLocally.currentBranchFallback":"dega jote","composer.mode.workLocally.tooltip":"Puno në {branchName}","composer.mode.worktree":"Pemë pune e re","composer.mode.worktree.submoduleWarning":"Kjo depo ka nënmodule git. Krijimi i hapësirës së punës mund të dështojë","composer.mode.worktree.tooltip":"Krijo një kopje të projektit tënd lokal për të punuar paralelisht","composer.mode.worktreeSegment":"Pemë pune","composer.modelChangeDuringConversationWarning.toast":"Ndryshimi i modeleve në mes të bisedës do të përkeqësojë performancën.","composer.newChat.heading.browser":"Çfarë duhet të kodojmë më pas?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex-i përdor lejen e përcaktuar në config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex-i ka qasje të plotë në kompjuterin tënd (rrezik i lartë)","composer.permissionsDropdown.custom.label":"I personalizuar (config.toml)","composer.permissionsDropdown.custom.optionLabel":"I personalizuar (config.toml)","composer.permissionsDropdown.default.label":"Lejet e parazgjedhura","composer.permissionsDropdown.default.optionLabel":"Lejet e parazgjedhura","composer.permissionsDropdown.default.tooltip":"Codex-i i ekzekuton automatikisht komandat në një mjedis testimi","composer.permissionsDropdown.disabled.requirements":"Lejet janë kyçur nga requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Qasja e plotë është çaktivizuar nga requirements.toml","composer.permissionsDropdown.fullAccess.label":"Qasje e plotë","composer.permissionsDropdown.fullAccess.optionLabel":"Qasje e plotë","composer.permissionsDropdown.trigger.tooltip":"Ndrysho lejet","composer.personalitySlashCommand.description.friendly":"I ngrohtë, bashkëpunues dhe i dobishëm","composer.personalitySlashCommand.description.pragmatic":"I përpiktë, i përqendruar në detyrë dhe i drejtpërdrejtë","composer.personalitySlashCommand.label.friendly":"Miqësor","composer.personalitySlashCommand.label.pragmatic":"Pragmatik","composer.personalitySlashCommand.notApplicableSuffix":"(Nuk zbatohet për modelin aktual)","composer.personalitySlashCommand.title":"Personaliteti","composer.placeholder.cloudFollowUp.directFollowUp":"Vijim i kësaj detyre në renë kompjuterike","composer.placeholder.cloudFollowUp.local":"Krijo një detyrë të re lokale që i referohet kësaj detyre në renë kompjuterike","composer.placeholder.cloudFollowUp.workingTree":"Krijo një detyrë të re në renë kompjuterike që përfshin kodin tënd aktual dhe që do t’i referohet kësaj detyre","composer.placeholder.localFollowUp.cloud":"Vijim në një detyrë të re në renë kompjuterike","composer.placeholder.localFollowUp.locally":"Pyet për ndryshimet vijuese","composer.placeholder.newTask.cloud":"Kërkoji Codex-it të bëjë gjithçka në renë kompjuterike","composer.placeholder.newTask.doAnything":"Kërkoji Codex-it të bëjë gjithçka","composer.placeholder.newTask.locally":"Pyet Codex-in për çdo gjë, @ për të shtuar skedarë, / për komandat","composer.planModeDropdown":"Modaliteti i planit","composer.planModeDropdown.ariaLabel":"Modaliteti i planit","composer.planModeIndicator":"Plani","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Krijo një plan me Codex-in","composer.planModeIndicator.tooltipToggle":"për të ndryshuar","composer.planSlashCommand.disableDescription":"Çaktivizo modalitetin e planit","composer.planSlashCommand.enableDescription":"Aktivizo modalitetin e planit","composer.planSlashCommand.title":"Modaliteti i planit","composer.priorContext.label":"Konteksti i mëparshëm","composer.priorContext.removeAriaLabel":"Hiq kontekstin e mëparshëm","composer.queuedMessage.delete":"Fshi mesazhin në radhë","composer.queuedMessage.edit":"Modifiko mesazhin","composer.queuedMessage.more":"Veprimet e mesazheve në radhë","composer.queuedMessage.sendNow":"Drejto","composer.queuedMessage.sendNowTooltip":"Dërgo tani pa e ndërprerë punën","composer.queuedMessage.turnOff":"Çaktivizo vendosjen në radhë","composer.reasoningEffort.local.reasoning.tooltip":"Zgjidh përpjekjen për arsyetim","composer.remote.branchStartingPoint":"Nga cila degë duhet të nisë kjo detyrë?","composer.remote.branchesSectionHeading":"Degët","composer.remote.currentEditsSuffix.followUp":"Krijo një detyrë të re që i referohet kësaj detyre të resë kompjuterike.","composer.remote.currentEditsSuffix.useLocal":"me ndryshimet e kodit lokal","composer.remote.directFollowUp":"Mos përdor ndryshimet lokale","composer.remote.errorLoadingBranches":"Gabim gjatë ngarkimit të degëve","composer.remote.fromBranch":"Nga {branch}","composer.remote.fromCurrentBranch":"Nga {branch} (aktuale)","composer.remote.loadingMoreBranches":"Duke ngarkuar...","composer.remote.localFileStateHeading":"Gjendja e skedarit lokal","composer.remote.localWorkingTree":"Përdor ndryshimet lokale","composer.remote.startingPoint":"Nga cili kod duhet të nisë kjo detyrë?","composer.reviewMode.branches.error":"Ngarkimi i degëve nuk u krye","composer.reviewMode.branches.retry":"Riprovo","composer.reviewMode.gitRoot.error":"Nuk u gjet rrënja e git-it","composer.reviewMode.option.baseBranch.simple":"Rishiko kundrejt një dege bazë","composer.reviewMode.option.unstaged.simple":"Rishiko ndryshimet e paruajtura","composer.reviewMode.quickReviewError":"Nisja e rishikimit të kodit dështoi.","composer.reviewMode.title":"Rishikimi i kodit","composer.sandboxButton.unlock.disabled.tooltip":"Qasja e plotë është çaktivizuar nga requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex-i mund të përdorë një mjedis testimi eksperimental në Windows për të kufizuar qasjen në sistemin e skedarëve dhe në rrjet. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Dëshiron të aktivizosh mjedisin e testimit në Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Përdor modalitetin “vetëm për lexim”","composer.searchEnvironments":"Kërko mjediset","composer.skillMentionList.app":"Aplikacioni","composer.skillMentionList.loading":"Duke ngarkuar aftësitë...","composer.skillMentionList.noResults":"Nuk u gjetën aftësi","composer.slashCommands.cloudEnvironment.title":"Mjedisi i resë kompjuterike","composer.slashCommands.dialogLabel":"Menyja e komandave me vijë të pjerrët","composer.slashCommands.dialogTitle":"Komandat me vijë të pjerrët","composer.slashCommands.disabledTooltip":"Nis një bisedë të re për të përdorur komandat me vijë të pjerrët","composer.slashCommands.inputPlaceholder":"Kërko","composer.slashCommands.noResults":"Asnjë komandë","composer.slashCommands.skillsGroup":"Aftësitë","composer.slashCommands.tooltip":"Shfleto komandat me vijë të pjerrët","composer.status.close":"Mbyll","composer.statusPlain.alertLabel":"Sinjalizimi:","composer.statusPlain.alertValue":"Ka mbetur {remaining}% në {window}","composer.statusPlain.contextLabel":"Konteksti:","composer.statusPlain.contextTotal":"{count} mijë","composer.statusPlain.contextValueMetadata":"Përdorur ({used} / {total})","composer.statusPlain.contextValueRemaining":"Ka mbetur {remaining}%","composer.statusPlain.heading":"Statusi","composer.statusPlain.modelRateLimitSectionLabel":"Kufiri i {modelName}:","composer.statusPlain.rateLimitDays":"Kufi {count}d","composer.statusPlain.rateLimitFallbackLabel":"Kufiri i përdorimit:","composer.statusPlain.rateLimitHours":"Kufiri {count}h","composer.statusPlain.rateLimitLabelBase":"Kufiri i përdorimit","composer.statusPlain.rateLimitMinutes":"Kufiri {count}m","composer.statusPlain.rateLimitPercent":"Ka mbetur {remaining}%","composer.statusPlain.rateLimitReset":"rivendoset {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"koha e rivendosjes është e padisponueshme","composer.statusPlain.rateLimitUnavailable":"I padisponueshëm","composer.statusPlain.sessionCopiedAriaLabel":"Id-ja e sesionit u kopjua","composer.statusPlain.sessionCopiedTooltip":"ID-ja u kopjua","composer.statusPlain.sessionCopyAriaLabel":"Kopjo id-në e sesionit","composer.statusPlain.sessionCopyTooltip":"Kopjo ID-në","composer.statusPlain.sessionLabel":"Sesioni:","composer.statusSlashCommand.description":"Shfaq id-në e bashkëbisedimit, përdorimin e kontekstit dhe kufijtë e përdorimit","composer.statusSlashCommand.title":"Statusi","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Mesazhi nuk u dërgua dot","composer.submit.emptyMessage":"Shkruaj një mesazh për të filluar","composer.submit.imageInputsUnsupported":"Hiq imazhet ose ndërro modelet për të dërguar këtë mesazh.","composer.submit.loadingLocalConfig":"Duke ngarkuar...","composer.submit.missingCloudConfig":"Duhet të zgjedhësh një mjedis të resë kompjuterike","composer.submit.missingCloudTurn":"Nuk mund të ndiqet kjo detyrë","composer.submit.noWorkspace":"Shto një projekt për të përdorur Codex-in","composer.submit.waitForImageUploads":"Imazhet janë duke u ngarkuar...","composer.submitButtonTooltip.send":"Dërgo","composer.submitButtonTooltip.stop":"Ndalo","composer.worktreeEnvironment.create":"Krijo mjedis lokal","composer.worktreeEnvironment.default":"Mjedisi i parazgjedhur","composer.worktreeEnvironment.error":"Gabim gjatë ngarkimit të mjediseve","composer.worktreeEnvironment.loading":"Duke ngarkuar mjediset…","composer.worktreeEnvironment.title":"Mjedisi lokal","composer.worktreeEnvironment.tooltip":"Përzgjidh një mjedis lokal","composer.worktreeSetupFailed":"Konfigurimi i pemës së punës dështoi. Kontrollo .codex/environments për një skript konfigurimi.","compoundButton.secondaryAction":"Veprimi dytësor","copyButton.copied":"U kopjua","copyButton.copiedAriaLabel":"U kopjua","copyButton.copy":"Kopjo","copyButton.copyAriaLabel":"Kopjo","copyButton.copyCode":"Kopjo kodin","diff.actionButton.revertFile":"Zhbëj skedarin","diff.actionButton.revertHunk":"Zhbëj","diff.actionButton.revertSection":"Zhbëji të gjitha","diff.actionButton.revertSectionLabel":"Zhbëji të gjitha","diff.actionButton.stageFile":"Vendos skedarin në fazën përgatitore","diff.actionButton.stageHunk":"Vendos në fazën përgatitore","diff.actionButton.stageSection":"Vendosi të gjitha në fazën përgatitore","diff.actionButton.stageSectionLabel":"Vendosi të gjitha në fazën përgatitore","diff.actionButton.unstageFile":"Hiq skedarin nga faza përgatitore","diff.actionButton.unstageHunk":"Hiq nga faza përgatitore","diff.actionButton.unstageSection":"Hiqi të gjitha nga faza përgatitore","diff.actionButton.unstageSectionLabel":"Hiqi të gjitha nga faza përgatitore","diff.fileHeader.toggle":"Aktivizo/çaktivizo diferencat e skedarit","electron.onboarding.login.apikey.cancel":"Anulo","electron.onboarding.login.apikey.continue":"Vazhdo","electron.onboarding.login.apikey.label":"Çelës API i OpenAI-t","electron.onboarding.login.apikey.open":"Vendos çelësin API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Anulo hyrjen","electron.onboarding.login.chatgpt.continue":"Vazhdo me ChatGPT-në","electron.onboarding.login.devbox":"Lidh me një SSH në distancë","electron.onboarding.login.error":"Hyrja dështoi: {rawMessage}","electron.onboarding.login.snake.start":"Luaj “Snake”","electron.onboarding.login.sshConfig.cancel":"Anulo","electron.onboarding.login.sshConfig.continue":"Vazhdo","electron.onboarding.login.sshConfig.hostnameLabel":"Emri i hostit SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Mënyra më e mirë për të krijuar me agjentët","electron.onboarding.login.title":"Mirë se erdhe në Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Vazhdo","electron.onboarding.welcome.doubleLimits.description":"Për të festuar prezantimin e aplikacionit Codex, ke 2 herë më shumë kufij përdorimi deri më 2 prill.","electron.onboarding.welcome.freego.description":"Codex-i është përfshirë falas në planin tënd deri më 2 mars – le të fillojmë të ndërtojmë së bashku.","electron.onboarding.welcome.new.title.anon":"Mirë se erdhe!","electron.onboarding.workspace.continue":"Vazhdo","electron.onboarding.workspace.empty":"Shto një projekt për të vazhduar.","electron.onboarding.workspace.listLabel":"Projektet e disponueshme","electron.onboarding.workspace.loading":"Duke ngarkuar projektet…","electron.onboarding.workspace.openFolder":"Shto një projekt","electron.onboarding.workspace.selectAll":"Përzgjidhi të gjitha","electron.onboarding.workspace.skip":"Anashkalo","electron.onboarding.workspace.skip.error":"Projekti i ri nuk u krijua: {message}","electron.onboarding.workspace.skip.error.unknown":"Gabim i panjohur","electron.onboarding.workspace.skipping":"Duke krijuar një projekt të ri…","electron.onboarding.workspace.subtitle":"Codex-i do të jetë në gjendje të modifikojë skedarët dhe të ekzekutojë komanda në dosjet e përzgjedhura.","electron.onboarding.workspace.title":"Përzgjidh një projekt","errorPage.list.checkSettings":"Provo të përditësosh cilësimet e IDE-së","errorPage.list.configToml":"Kontrollo config.toml për cilësime të pavlefshme","errorPage.list.downloadExtension":"Provo të shkarkosh një version tjetër të shtesës","errorPage.list.runInWsl":"Kontrollo cilësimet e tua për të çaktivizuar ekzekutimin në WSL nëse shikon probleme pajtueshmërie","execApprovalRequest.menu.runAlways":"Po, dhe mos pyet sërish në këtë sesion","execApprovalRequest.menu.runAlwaysWithAmendment":"Po, dhe mos pyet sërish për komandat që fillojnë me {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Po, dhe mos pyet sërish për komandat që fillojnë me","execApprovalRequest.menu.runOnce":"Po","execApprovalRequest.prompt":"A dëshiron ta ekzekutosh këtë komandë?","execApprovalRequest.reject":"Jo","execFooter.exitCode":"Dil nga kodi {code}","execFooter.exitCode.unknown":"e panjohur","execFooter.success":"Me sukses","feedback.dialog.category.badResult":"Rezultat i keq","feedback.dialog.category.bug":"Defekt","feedback.dialog.category.goodResult":"Rezultat i mirë","feedback.dialog.category.other":"Tjetër","feedback.dialog.descriptionPlaceholder":"Përshkruaj problemin këtu","feedback.dialog.dismiss":"Hiq","feedback.dialog.includeLogsLabel":"Përfshi regjistrat e sesioneve aktuale të Codex-it","feedback.dialog.submit":"Dorëzo","feedback.dialog.submitError":"Nuk mundëm të dorëzonim përshtypjen tënde. Provo përsëri pas pak.","feedback.dialog.title":"Përshtypje","feedback.dialog.uploadedMessage.existingIssue":"problem ekzistues i hapur","feedback.dialog.uploadedMessage.openIssue":"hap një problem në GitHub","feedback.dialog.uploadedMessage.withThread":"Përshtypja u ngarkua. Nëse problemi vazhdon, {openIssueLink} ose përmend id-në e bashkëbisedimit në një {existingIssueLink}:","feedback.dialog.uploadedTitle":"Përshtypja u ngarkua","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Hiq {filename}","header.back":"Prapa","header.recentChats":"Detyrat","header.recentTasks.seeAll":"Shihi të ({total})","home.header.getPlus":"Merr Plus-in","home.hero.letsBuild":"Le të krijojmë","homePage.mainContent":"Përmbajtja kryesore","imageAttachment.defaultName":"imazh","imageAttachment.preview.close":"Mbyll pamjen paraprake të imazhit","imageAttachment.removeAriaLabel":"Hiq {filename}","implementPlanRequest.option.implement":"Po, zbatoje këtë plan","implementPlanRequest.prompt":"Dëshiron ta zbatosh këtë plan?","inbox.archived.deleteError":"Ekzekutimi i arkivuar nuk mund të fshihej","inbox.archived.deleteRun":"Fshi ekzekutimin e arkivuar","inbox.archived.deleteSuccess":"Bashkëbisedimi i arkivuar u fshi. Shihe te <settingsLink>Bashkëbisedimet e arkivuara</settingsLink>.","inbox.archived.inlineLabel.auto":"Ky bashkëbisedim u arkivua automatikisht. <learnMoreLink>Mëso më shumë</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ky bashkëbisedim u arkivua.","inbox.archived.noMessageFound":"Nuk u gjetën mesazhe","inbox.automations.createError":"Automatizimi nuk u krijua","inbox.automations.deleteConfirm.cancel":"Anulo","inbox.automations.deleteConfirm.confirm":"Fshi automatizimin","inbox.automations.deleteConfirm.description":"Kjo do ta fshijë përgjithmonë automatizimin dhe do të ndalojë çdo ekzekutim të ardhshëm.","inbox.automations.deleteConfirm.title":"A dëshiron ta fshish {name}?","inbox.automations.deleteError":"Automatizimi nuk mund të fshihej","inbox.automations.editTooltip":"Modifiko automatizimin","inbox.automations.inProgress":"Në proces","inbox.automations.new":"E re","inbox.automations.newToolbar":"Automatizim i ri","inbox.automations.pauseTooltip":"Pezullo automatizimin","inbox.automations.resumeTooltip":"Vazhdo automatizimin","inbox.automations.startingNow":"Duke filluar tani","inbox.automations.startsIn":"Fillon në {startTime}","inbox.automations.status.active":"Aktiv","inbox.automations.status.paused":"Në pauzë","inbox.automations.status.runs":"{count} ekzekutime","inbox.automations.status.started":"Filloi më {date}","inbox.automations.updateError":"Automatizimi nuk u përditësua","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Të gjitha","inbox.filter.ariaLabel":"Filtro artikujt e kutisë hyrëse","inbox.filter.unread":"Të palexuara","inbox.list.archived":"Të arkivuara","inbox.list.inProgress":"Në proces","inbox.list.recent":"Të përfunduara","inbox.list.upNext":"Planifikuar","inbox.mode.automations":"Automatizimet","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nuk është dhënë përshkrim","inbox.openThread":"Hap bashkëbisedimin","inbox.rightPanel.emptySubtitle":"Automatizo punën duke vendosur detyra të planifikuara","inbox.rightPanel.emptySubtitle.learnMore":"Automatizo punën duke konfiguruar bashkëbisedime të planifikuara. <link>Mëso më shumë</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatizim aktiv} other {# automatizime aktive}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nuk ka automatizime të palexuara","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatizim i palexuar} other {# automatizime të palexuara}}","inbox.rightPanel.emptyTitle":"Nuk është përzgjedhur ndonjë artikull","inbox.rightPanel.noThread":"Nuk ka bashkëbisedim për këtë element","inbox.rightPanel.quickStart.header":"Fillo me një shabllon","inbox.untitled":"Artikull pa titull në kutinë hyrëse","loadingPage.documentationLink":"dokumentacioni","loadingPage.errorDescription":"Codex-i u bllokua me gabimin e mëposhtëm:","loadingPage.errorDescription.documentation":"Kliko ringarko për të rinisur shtesën e Codex-it ose vizito {documentationLink} për ndihmë shtesë.","loadingPage.errorSignal":"Disa gjëra që mund të provohen:","loadingPage.errorTitle":"Ka ndodhur një gabim","loadingPage.openConfigToml":"Hap Config.toml","loadingPage.reload":"Ringarko","localConversation.contextCompacted":"Konteksti u përmblodh automatikisht","localConversation.contextCompacting":"Duke përmbledhur automatikisht kontekstin","localConversation.forkedFromConversation":"Bigëzuar nga {threadTitle}","localConversation.merge.autoResolve.failed":"Zgjidhja automatike nuk u kërkua: {error}","localConversation.merge.autoResolve.sent":"Kërkesa për zgjidhje automatike u dërgua","localConversation.merge.autoResolveMerge.missingConversation":"Zgjidhja automatike nuk mund të kryhet pa një bisedë aktive.","localConversation.merge.autoResolveMerge.request":"Zgjidh automatikisht konfliktet e shkrirjes","localConversation.modelChanged":"Modeli u ndryshua nga {fromModel} në {toModel}.","localConversation.modelChanged.warning.line1":"Ndryshimi i modeleve në mes të bisedës do të përkeqësojë performancën.","localConversation.modelChanged.warning.line2":"Konteksti mund të përmblidhet automatikisht.","localConversation.moveThread.createBranch.label":"Krijo degë","localConversation.moveToLocal.disabled.loading":"Duke ngarkuar...","localConversation.moveToLocal.modal.continue":"Vazhdo","localConversation.moveToLocal.modal.destinationLabel":"Zhvendose te","localConversation.moveToLocal.modal.retry":"Riprovo","localConversation.moveToWorktree.modal.back":"Prapa","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Dega ekziston tashmë.","localConversation.moveToWorktree.modal.branchesError":"Ngarkimi i degëve nuk u krye","localConversation.moveToWorktree.modal.branchesLoading":"Duke ngarkuar degët…","localConversation.moveToWorktree.modal.branchesRetry":"Riprovo","localConversation.moveToWorktree.modal.continue":"Vazhdo","localConversation.moveToWorktree.modal.retry":"Riprovo","localConversation.moveToWorktree.modal.trailingSlashError":"Emri i degës nuk mund të përfundojë me “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"degë e re","localConversation.personalityChanged":"Kalove në personalitetin {personality}","localConversation.planSummary.collapse":"Palos përmbledhjen e planit","localConversation.planSummary.collapseTooltip":"Palos","localConversation.planSummary.download":"Shkarko planin","localConversation.planSummary.expand":"Zgjero përmbledhjen e planit","localConversation.planSummary.expandTooltip":"Zgjero","localConversation.planSummary.openInNewWindow":"Hap","localConversation.planSummary.openInNewWindow.tooltip":"Hape në dritare të re","localConversation.planSummary.title":"Plani","localConversation.planSummary.titleWriting":"Duke shkruar planin","localConversation.planSummary.viewPlan":"Zgjero planin","localConversation.remoteTaskCreated":"Krijuar {taskLink} në Codex-in në renë kompjuterike","localConversation.remoteTaskCreated.task":"detyrë","localConversation.scrollToBottomButton":"Lëviz në fund","localConversation.sync.buttonLabel":"Dorëzo në mjedisin lokal","localConversation.sync.buttonLabel.tooltip":"Dorëzo ndryshimet ndërmjet kësaj peme pune dhe mjedisit tënd lokal.","localConversation.sync.modal.loading.title":"Duke dorëzuar ndryshimet…","localConversation.sync.modal.noChanges":"Asnjë ndryshim","localConversation.syncSetup.branchAriaLabel":"Emri i degës","localConversation.syncSetup.branchName":"Emri i degës","localConversation.syncSetup.branchPlaceholder.existing":"Përzgjidh degën ekzistuese","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Duke ngarkuar degët…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Është kaluar tashmë","localConversation.syncSetup.checkoutClean":"Aktualisht në {branchName}","localConversation.syncSetup.checkoutDirty":"Aktualisht në {branchName} me ndryshime të paruajtura","localConversation.syncSetup.checkoutError":"Dega nuk u kalua: {message}","localConversation.syncSetup.checkoutLabel":"Kalo lokalisht tani","localConversation.syncSetup.checkoutOnLocal":"Dorëzo në mjedisin lokal","localConversation.syncSetup.checkoutPending":"Duke kontrolluar statusin lokal…","localConversation.syncSetup.checkoutUnavailable":"Hapësira lokale e punës nuk është e disponueshme","localConversation.syncSetup.checkoutUnknown":"Dega lokale është e padisponueshme","localConversation.syncSetup.continue":"Vazhdo","localConversation.syncSetup.createBranchError":"Dega e dorëzimit nuk u caktua: {message}","localConversation.syncSetup.error":"Diçka shkoi keq: {message}","localConversation.syncSetup.error.workingTreeMissing":"Pamja e çastit e pemës së punës nuk u krijua. Riprovo dorëzimin.","localConversation.syncSetup.mode.ariaLabel":"Zgjidh modalitetin e degës","localConversation.syncSetup.mode.existing":"Degë ekzistuese","localConversation.syncSetup.mode.new":"Degë e re","localConversation.syncSetup.noBranches":"Nuk u gjetën degë","localConversation.syncSetup.overwriteError":"Dega u krijua, por nuk është dorëzuar plotësisht. Dorëzoje manualisht përpara se të kryesh kalimin në mjedisin lokal.","localConversation.syncSetup.setPrefix":"Vendos parashtesën","localConversation.syncSetup.subtitle":"Testo dhe modifiko ndryshimet e pemës së punës lokalisht. <a>Mëso më shumë</a>","localConversation.syncSetup.success.checkedOut":"Dega u krijua dhe u kalua në mjedisin lokal","localConversation.syncSetup.success.notCheckedOut":"Dega u krijua","localConversation.syncSetup.title":"Dorëzo në një degë lokale","localConversation.syncWorktreeError.branchAriaLabel":"Emri i degës","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Zgjidh një degë për dorëzim, më pas riprovo ngarkimin e ndryshimeve.","localConversation.syncWorktreeError.branchSetup.title":"Përditëso degën","localConversation.syncWorktreeError.branchUpdate.cta":"Përditëso dhe riprovo","localConversation.syncWorktreeError.branchUpdate.error":"Dega nuk u përditësua: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Diçka shkoi keq: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Dega nuk është kaluar në asnjë pemë pune.","localConversation.syncWorktreeV2.applyUncommitted":"Zbato","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Duhet ta kalosh degën në mjedisin lokal për të zbatuar ndryshime e paruajtura","localConversation.syncWorktreeV2.branches.empty":"Nuk u gjetën degë","localConversation.syncWorktreeV2.branches.loading":"Duke ngarkuar degët…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Ndrysho degën e dorëzimit","localConversation.syncWorktreeV2.changeBranch.error":"Dega e dorëzimit nuk u ndryshua: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Zbatimi dështoi","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Mbishkrimi i pemës së punës nuk u krye","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Mbishkrimi i mjedisit lokal nuk u krye","localConversation.syncWorktreeV2.commandError.back":"Prapa","localConversation.syncWorktreeV2.commandError.body":"Një komandë git-i dështoi gjatë dorëzimit. Rishiko rezultatin dhe riprovo.","localConversation.syncWorktreeV2.commandError.retry":"Riprovo","localConversation.syncWorktreeV2.description":"Dorëzo ndryshimet ndërmjet mjedisit lokal dhe kësaj peme pune <a>Mëso më shumë</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Zgjidh drejtimin e dorëzimit.","localConversation.syncWorktreeV2.error.generic":"Diçka shkoi keq gjatë dorëzimit. Provo përsëri.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalisht","localConversation.syncWorktreeV2.noChanges":"Duke llogaritur ndryshimet","localConversation.syncWorktreeV2.noChanges.summary":"Asnjë ndryshim","localConversation.syncWorktreeV2.overwrite.local":"Mbishkruaj mjedisin lokal","localConversation.syncWorktreeV2.overwrite.worktree":"Mbishkruaj pemën e punës","localConversation.syncWorktreeV2.partial.action.applyFailed":"Ndryshimet nuk mund të zbatoheshin","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Ndryshimet lokale nuk mund të mbishkruheshin","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Ndryshime në pemën e punës nuk mund të mbishkruheshin","localConversation.syncWorktreeV2.partial.appliedLabel":"Zbatuar","localConversation.syncWorktreeV2.partial.back":"Prapa","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Zgjidh konfliktet dhe provo përsëri.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konfliktet","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# skedar} other {# skedarë}}","localConversation.syncWorktreeV2.partial.retry":"Riprovo","localConversation.syncWorktreeV2.partial.skippedLabel":"U anashkalua","localConversation.syncWorktreeV2.stateFailed.generic":"Diçka shkoi keq gjatë marrjes së ndryshimeve të pemës së punës. Provo përsëri.","localConversation.syncWorktreeV2.stateFailed.title":"Ndryshimet e pemës së punës nuk u ngarkuan","localConversation.syncWorktreeV2.statusError.diffUnknown":"Ndryshimet e pemës së punës nuk u ngarkuan.","localConversation.syncWorktreeV2.statusError.retry":"Riprovo","localConversation.syncWorktreeV2.statusError.title":"Ndryshimet e degës lokale nuk u ngarkuan","localConversation.syncWorktreeV2.statusError.unknown":"Për momentin statusi i degës është i padisponueshëm. Provo përsëri.","localConversation.syncWorktreeV2.success.apply":"Ndryshimet u zbatuan me sukses","localConversation.syncWorktreeV2.success.overwrite":"Dorëzimi ishte i suksesshëm","localConversation.syncWorktreeV2.title":"Dorëzo ndryshimet","localConversation.syncWorktreeV2.worktreeLabel":"Pemë pune","localConversation.userInputRequest.inProgress":"Duke bërë {count, plural, one {pyetje} other {pyetje}}","localConversation.userInputRequest.noAnswer":"Nuk u dha ndonjë përgjigje","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Pyeti","localConversation.userInputRequest.summary.count":"{count, plural, one {# pyetje} other {# pyetje}}","localConversation.workedFor":"Punoi për {time}","localConversation.worktreeBranchSetup.action.create":"Krijo","localConversation.worktreeBranchSetup.branchAriaLabel":"Emri i degës","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Krijo një degë të re","localConversation.worktreeBranchSetup.checkoutDisabled":"Kjo degë është kaluar tashmë në {location}","localConversation.worktreeBranchSetup.checkoutError":"Dega nuk u kalua: {message}","localConversation.worktreeBranchSetup.createBranchError":"Dega nuk u caktua: {message}","localConversation.worktreeBranchSetup.error":"Diçka shkoi keq: {message}","localConversation.worktreeBranchSetup.subtitle":"Krijo një degë për të ruajtur ndryshimet, për të dërguar dhe për të krijuar një PR nga kjo pemë pune. <a>Mëso më shumë</a>","localConversation.worktreeBranchSetup.title":"Puno këtu","localConversationPage.addWorktreeToSidebar.tooltip":"Ruaje si projekt që të mund të nisësh bashkëbisedime të reja nga kjo pemë pune","localConversationPage.addWorktreeToSidebarError":"Projekti nuk u shtua","localConversationPage.commitAndCreatePrModal.errorTitle":"Ruajta e ndryshimeve dhe krijimi i PR-së dështoi","localConversationPage.commitAndCreatePrModal.successTitle":"U ruajtën ndryshimet dhe krijua PR-ja","localConversationPage.commitAndPushModal.errorTitle":"Ruajta e ndryshimeve dhe dërgimi dështoi","localConversationPage.commitAndPushModal.successTitle":"Ndryshimet u ruajtën dhe dërguan","localConversationPage.commitCreatePr.open":"Hap kërkesën e tërheqjes","localConversationPage.commitCreatePr.successTitle":"U krijua PR-ja me ndryshimet e tua të fundit","localConversationPage.createBranchButtonLabel":"Krijo degë këtu","localConversationPage.createPrModal.baseBranch":"Bazë","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Krijo PR","localConversationPage.createPrModal.createDescription":"Hap një kërkesë tërheqjeje për ndryshimet e tua më të fundit.","localConversationPage.createPrModal.errorTitle":"Kërkesa e tërheqjes dështoi","localConversationPage.createPrModal.headBranch":"Kryesorja","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Hap PR-në","localConversationPage.createPrModal.successTitle":"Kërkesa e tërheqjes u krijua","localConversationPage.createPrModal.title":"Krijo kërkesën e tërheqjes","localConversationPage.createPrModal.viewDescription":"Ekziston tashmë një kërkesë tërheqjeje për këtë degë.","localConversationPage.createPrModal.viewTitle":"Kërkesa e tërheqjes është gati","localConversationPage.createPullRequestAuthGh":"Vërteto CLI-në e GitHub-it: ekzekuto `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informacioni i degës është i padisponueshëm","localConversationPage.createPullRequestButtonLabel":"Krijo PR","localConversationPage.createPullRequestButtonLabel.loading":"Duke krijuar PR-në…","localConversationPage.createPullRequestDefaultBranchMissing":"Informacioni i degës së parazgjedhur është i padisponueshëm.","localConversationPage.createPullRequestError":"Nuk u krijua kërkesa e tërheqjes","localConversationPage.createPullRequestExistingPullRequest":"Ekziston tashmë një kërkesë tërheqjeje për këtë degë","localConversationPage.createPullRequestGhStatusMissing":"Duke ngarkuar statusin e CLI-së së GitHub-it…","localConversationPage.createPullRequestInstallGh":"Instalo CLI-në e GitHub-it (gh) për të krijuar PR","localConversationPage.createPullRequestNoRepo":"Nuk u gjet depo git","localConversationPage.createPullRequestPushStatusMissing":"Duke ngarkuar statusin e dërgimit...","localConversationPage.createPullRequestSetUpstream":"Dërgoje këtë degë përpara se të krijosh një PR","localConversationPage.createPullRequestSuccessToast":"Kërkesa e tërheqjes u krijua","localConversationPage.createPullRequestSwitchBranch":"Kalo te një degë veçorie përpara se të krijosh një PR","localConversationPage.error.render":"Gabim gjatë paraqitjes së bisedës lokale","localConversationPage.error.toast":"Biseda nuk u gjet","localConversationPage.forcePushError":"Dërgimi i detyruar dështoi","localConversationPage.generatePullRequestMessageError":"Titulli dhe përmbajtja e kërkesës së tërheqjes nuk u gjeneruan","localConversationPage.generatePullRequestMessageFailed":"Titulli dhe përmbajtja e kërkesës së tërheqjes nuk u gjeneruan.","localConversationPage.gitActionResult.branch":"Dega","localConversationPage.gitActionResult.cancel":"Anulo","localConversationPage.gitActionResult.close":"Mbyll","localConversationPage.gitActionResult.tryAgain":"Provo përsëri","localConversationPage.gitActions":"Veprimet git","localConversationPage.newChat":"Bisedë e re","localConversationPage.openInTarget":"Hape te","localConversationPage.openPrimaryTarget":"Hap","localConversationPage.planItemsCompleted":"{completedItems} nga{totalItems, plural, one {# detyrë e përfunduar} other {# detyra të përfunduara}}","localConversationPage.pushAuthError":"Dërgimi dështoi: kërkohet vërtetimi","localConversationPage.pushBranchMissing":"Informacioni i degës është i padisponueshëm","localConversationPage.pushButtonLabel":"Dërgo","localConversationPage.pushButtonLabel.loading":"Dërgimi…","localConversationPage.pushError":"Ndryshimet nuk u dërguan","localConversationPage.pushModal.branchLabel":"Dega","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Anulo","localConversationPage.pushModal.confirm":"Dërgo","localConversationPage.pushModal.description":"Dërgoji ndryshimet e tua të fundit në depon në distancë.","localConversationPage.pushModal.errorTitle":"Dërgimi dështoi","localConversationPage.pushModal.forcePush":"Dërgim i detyruar","localConversationPage.pushModal.successTitle":"Dërgimi përfundoi","localConversationPage.pushModal.title":"Dërgo ndryshimet","localConversationPage.pushModal.tryAgain":"Provo përsëri","localConversationPage.pushNoUpstream":"Cakto një degë kryesore përpara se ta dërgosh këtë degë","localConversationPage.pushNoUpstreamError":"Dërgimi dështoi: nuk u konfigurua asnjë arkiv kryesor","localConversationPage.pushNothingToPush":"Nuk ka ndryshime të reja për të dërguar","localConversationPage.pushRemoteChangedError":"Dërgimi i ndryshimeve dështoi: depoja e largët ka ndryshime të reja","localConversationPage.pushRemoteRejectedError":"Dërgimi u refuzua nga depoja e largët","localConversationPage.pushStatusMissing":"Duke ngarkuar statusin e dërgimit...","localConversationPage.pushSuccessToast":"Ndryshimet e dërguara","localConversationPage.viewPullRequestButtonLabel":"Shfaq PR-në","localConversationPage.viewPullRequestButtonLabel.loading":"Duke ngarkuar kërkesën për tërheqje…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# skedar} other {# skedarë}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# listë} other {# lista}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# kërkim} other {# kërkime}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Duke eksploruar","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Eksploruar","localConversationTurn.exploration.accordion.header.complete.withCounts":"Eksploruar {counts}","localConversationTurnStory.showContent":"Shfaq përmbajtjen","localConversationTurnStory.streamContent":"Transmeto përmbajtjen","localConversationTurnStory.toggleReasoning":"Shfaq arsyetimin","localTaskRow.archiveError":"Biseda nuk u arkivua","localTaskRow.resumeError":"Detyra nuk rifilloi","mermaidDiagram.ariaLabel":"Diagrami Mermaid","mermaidDiagram.copySource":"Kopjo diagramin Mermaid","mermaidDiagram.originalCode":"Kodi burimor Mermaid","notifications.permissions.description":"Shfaq sinjalizime kur kërkohen leje për njoftime","notifications.permissions.label":"Aktivizo njoftimet e lejes","notifications.turnMode.always":"Gjithmonë","notifications.turnMode.description":"Cakto se kur të të sinjalizojë Codex-i se ka mbaruar","notifications.turnMode.label":"Aktivizo njoftimet e përfundimit","notifications.turnMode.off":"Asnjëherë","notifications.turnMode.unfocused":"Vetëm kur nuk është i fokusuar","patchApprovalRequest.approve":"Mirato","patchApprovalRequest.menu.allowAlways":"Po, dhe mos pyet sërish në këtë sesion","patchApprovalRequest.menu.allowForSession":"Po, dhe mos pyet sërish në këtë sesion","patchApprovalRequest.menu.allowOnce":"Po","patchApprovalRequest.prompt":"A dëshiron t'i bësh këto ndryshime?","patchApprovalRequest.reject":"Jo","patchApprovalRequest.waitingForApproval":"Duke pritur miratimin për të modifikuar skedarët","pendingRequest.approvalExec.collapse":"Palos","pendingRequest.approvalExec.expand":"Zgjero","pendingRequestStory.toastAnswer":"Përgjigjja: {answer}","pendingRequestStory.toastApprovalTitle":"Përgjigja e miratimit","pendingRequestStory.toastFollowupPrompt":"Kërkesa: {prompt}","pendingRequestStory.toastFollowupTitle":"Kërkesa vijuese u dërgua","pendingRequestStory.toastNoAnswers":"Nuk janë dhënë përgjigje","pendingRequestStory.toastQuestion":"Pyetja: {question}","pendingRequestStory.toastUnknownDecision":"I panjohur","pendingRequestStory.toastUserInputTitle":"Përgjigjet u dorëzuan","quickAction.request.codeReview.branches.new":"Rishiko ndryshimet në {from} kundrejt {to}","quickAction.request.codeReview.uncommitted.new":"Rishiko ndryshimet e mia të paruajtura","reasoningItem.thinking":"Duke u menduar","reasoningItem.thought":"U mendua","reasoningItem.thoughtWithElapsed":"U mendua për {elapsed}","recentConversations.title":"Bisedat e fundit","recentTasks.worktreeInitFailedTitle":"Nisja e pemës së punës dështoi","recentTasks.worktreeSettingUpTitle":"Duke konfiguruar pemën e punës","requestInputPanel.continue":"Vazhdo","requestInputPanel.dismiss":"Hiq","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Shkruaj këtu","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Jo, dhe thuaji Codex-it çfarë të bëjë ndryshe","requestInputPanel.selectedBadge":"Të përzgjedhurit","requestInputPanel.skip":"Anashkalo","requestInputPanel.submit":"Dorëzo","review.commit.ariaLabel.includeUnstaged":"Përfshi ndryshimet e pavendosura në fazën përgatitore","review.commit.buttonLabel":"Ruajtja e ndryshimeve","review.commit.disabled.committing":"Duke ruajtur...","review.commit.disabled.loadingDiff":"Duke ngarkuar diferencat…","review.commit.disabled.missingContext":"Shto pak kontekst për të gjeneruar një mesazh për ruajtjen e ndryshimeve","review.commit.disabled.noChanges":"Asnjë ndryshim për t’u ruajtur","review.commit.disabled.noSelection":"Zgjidh ndryshimet për t’u ruajtur","review.commit.disabled.unavailable":"Ruajtja e ndryshimeve nuk ofrohet për momentin","review.commit.error":"Ruajtja e ndryshimeve dështoi","review.commit.form.changesToBeCommitted":"Ndryshimet","review.commit.form.commitTo":"Dega","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Vazhdo","review.commit.form.title":"Ruaj ndryshimet e tua","review.commit.generate.emptyResponse":"Mesazhi për ruajtjen e ndryshimeve nuk u gjenerua.","review.commit.generate.failed":"Mesazhi për ruajtjen e ndryshimeve nuk u gjenerua: {error}","review.commit.generate.missingPrompt":"Shto pak kontekst për të gjeneruar një mesazh të ruajtjes së ndryshimeve.","review.commit.includeUnstaged":"Përfshi ndryshimet e pavendosura në fazën përgatitore","review.commit.loading.description":"Prit pak, mund të zgjasë disa minuta…","review.commit.loading.step.commit.done":"Ndryshimet e ruajtura","review.commit.loading.step.commit.pending":"Duke ruajtur ndryshimet","review.commit.loading.step.createPr.done":"Kërkesa për tërheqje u krijua","review.commit.loading.step.createPr.pending":"Duke krijuar një kërkesë për tërheqje","review.commit.loading.step.push.done":"Dërguar në degën {branch}","review.commit.loading.step.push.pending":"Duke dërguar në degën {branch}","review.commit.loading.title.commit":"Duke ruajtur ndryshimet","review.commit.loading.title.createPr":"Duke krijuar një PR","review.commit.loading.title.push":"Duke dërguar ndryshimet","review.commit.messageLabel":"Mesazhi i ruajtjes së ndryshimeve","review.commit.messagePlaceholder":"Lëre bosh për të gjeneruar automatikisht një mesazh të ruajtjes së ndryshimeve","review.commit.nextSteps":"Hapat e tjerë","review.commit.nextSteps.commit":"Ruaj","review.commit.nextSteps.commitAndCreate":"Ruaj ndryshimet dhe krijo PR-në","review.commit.nextSteps.commitAndPush":"Ruaj ndryshimet dhe dërgo","review.commit.nextSteps.prRequiresGh":"Kërkon CLI-në e GitHub-it: {command}","review.commit.rows.changes":"Ndryshimet","review.commit.rows.commitCount":"{count, plural, one {# ruajtje ndryshimesh} other {# ruajtje ndryshimesh}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# ruajtje ndryshimesh} other {# ruajtje ndryshimesh}} dhe {stats}","review.commit.rows.fileCount":"{count, plural, one {# skedar} other {# skedarë}}","review.commit.state.error.body":"Diçka shkoi keq gjatë ruajtjes. Kontrollo statusin e git-it dhe provo përsëri.","review.commit.state.error.title":"Ruajtja dështoi","review.commit.state.success.title":"Ndryshimet u ruajtën","review.commit.untracked.loadingStats":"Duke ngarkuar statistikat e diferencave të pagjurmuara","reviewFindingAttachments.count":"{count, plural, one {# gjetje} other {# gjetje}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Modifiko konfigurimin tënd për të personalizuar sjelljen e agjentit","settings.agent.configuration.configToml.docs":"Dokumentet","settings.agent.configuration.configToml.restartNote":"Rifillo Codex-in pas modifikimit për të zbatuar ndryshimet","settings.agent.configuration.subtitle":"Këto cilësime zbatohen kudo që përdoret Codex-i","settings.automations.banner.danger":"Automatizimet ekzekutohen me cilësimet e tua të parazgjedhura të mjedisit të testimit, që aktualisht janë vendosur në qasje të plotë. Ekzekutimi i automatizimeve në sfond me qasje të plotë mbart rrezik të lartë, pasi Codex-i mund të modifikojë skedarë, të ekzekutojë komanda dhe të hyjë në rrjet pa pyetur. Konsidero përditësimin e cilësimeve të mjedisit të testimit në shkrim në hapësirën e punës dhe përdorimin e <rulesDocsLink>rregullave</rulesDocsLink> për të përcaktuar në mënyrë përzgjedhëse se cilat komanda mund të ekzekutojë agjenti me qasje të plotë.","settings.automations.banner.defaultHowTo.default":"Automatizimet ekzekutohen me cilësimet e tua të parazgjedhura të mjedisit të testimit. Thirrjet e mjeteve do të dështojnë nëse kërkojnë modifikimin e skedarëve jashtë hapësirës së punës, qasjen në rrjet ose punë me aplikacionet në kompjuterin tënd. Mund të lejosh në mënyrë përzgjedhëse komandat për t'u ekzekutuar jashtë mjedisit të testimit duke përdorur <rulesDocsLink>rregullat</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":'Automatizimet ekzekutohen me cilësimet e tua të parazgjedhura të mjedisit të testimit, që janë vendosur në modalitetin "vetëm për lexim". Thirrjet e mjeteve do të dështojnë nëse kërkojnë modifikimin e skedarëve, qasjen në rrjet ose punë me aplikacionet në kompjuterin tënd. Konsidero përditësimin e cilësimeve të mjedisit të testimit në shkrim në hapësirën e punës.',"settings.automations.cancel":"Anulo","settings.automations.create":"Krijo","settings.automations.cwdEmpty":"Nuk ka dosje projektesh të disponueshme","settings.automations.cwdLabel":"Projektet","settings.automations.cwdPlaceholder":"Zgjidh një dosje","settings.automations.cwdSubtitle":"Nëse dëshiron që një automatizim të ekzekutohet në një degë specifike, mund ta specifikosh në kërkesën tënde.","settings.automations.delete":"Fshi","settings.automations.dialog.editTitle":"Modifiko automatizimin","settings.automations.dialog.newTitle":"Automatizim i ri","settings.automations.dialog.subtitle":"Automatizo detyrat e përsëritura në sfond. Codex-i shton gjetjet në kutinë hyrëse ose arkivon automatikisht detyrën nëse nuk ka asgjë për të raportuar. <learnMoreLink>Mëso më shumë</learnMoreLink>","settings.automations.dialog.title":"Krijo automatizim","settings.automations.executionCopy.git":"Automatizimet funksionojnë në sfond në pemë pune të dedikuara.","settings.automations.executionCopy.nonGit":"Automatizimet në projektet pa kontroll versioni ekzekutohen direkt në direktorinë e projektit. Konsidero përdorimin e Git-it për të aktivizuar ekzekutimin në pemët e punës në sfond.","settings.automations.executionEnvironment.local":"Lokalisht","settings.automations.executionEnvironment.worktree":"Pemë pune","settings.automations.loading":"Duke ngarkuar...","settings.automations.nameLabel":"Emri","settings.automations.namePlaceholder":"Kontrollo për probleme në sentry","settings.automations.pause":"Pezullo","settings.automations.promptLabel":"Kërkesë","settings.automations.promptPlaceholder":"kërko për ndërprerje në$Sentry","settings.automations.resume":"Vazhdo","settings.automations.rruleSummaryFallback":"Program i përshtatur","settings.automations.runNow":"Test","settings.automations.save":"Ruaj","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}o","settings.automations.scheduleBadge.weekdays":"Ditët e javës","settings.automations.scheduleBadge.weekends":"Fundjavëve","settings.automations.scheduleHeader":"Programi","settings.automations.scheduleHours":"orë","settings.automations.scheduleLabel":"Ekzekuto çdo","settings.automations.scheduleMode.daily":"Çdo ditë","settings.automations.scheduleMode.interval":"Intervali","settings.automations.scheduleModeLabel":"Lloji i programit","settings.automations.scheduleSummary.daily":"Çdo ditë në {time}","settings.automations.scheduleSummary.interval":"Çdo {count}orë","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ditë} other {# ditë}}","settings.automations.scheduleSummary.intervalDays":"{interval} ditën {days}","settings.automations.scheduleSummary.intervalHourly":"Çdo orë","settings.automations.scheduleSummary.singleDay":"{day} në {time}","settings.automations.scheduleSummary.weekdays":"Ditët e javës në {time}","settings.automations.scheduleSummary.weekdaysLabel":"ditët e javës","settings.automations.scheduleSummary.weekends":"Fundjavëve në {time}","settings.automations.scheduleSummary.weekendsLabel":"fundjavëve","settings.automations.scheduleSummary.weekly":"{days} në {time}","settings.automations.scheduleWeekdays":"Aktiv","settings.automations.weekdayState.excluded":"Përjashtuar","settings.automations.weekdayState.included":"Përfshirë","settings.conversationDetail.steps":"Hapat","settings.conversationDetail.steps.description":"Fshih komandat dhe rezultatet","settings.conversationDetail.stepsWithCommands":"Hapat me komanda kodi","settings.conversationDetail.stepsWithCommands.description":"Shfaq komandat, palos rezultatin","settings.conversationDetail.stepsWithOutput":"Hapat me rezultatin e kodit","settings.conversationDetail.stepsWithOutput.description":"Shfaq komandat dhe zgjero rezultatin","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nuk ka biseda të arkivuara.","settings.dataControls.archivedChats.error":"Bisedat e arkivuara nuk u ngarkuan.","settings.dataControls.archivedChats.loading":"Duke ngarkuar bisedat e arkivuara…","settings.dataControls.archivedChats.unarchive":"Nxirr nga arkivi","settings.dataControls.archivedChats.unarchiveError":"Biseda nuk u hoq nga arkivi","settings.dataControls.archivedChats.unarchiveSuccess":"Bashkëbisedim i nxjerrë nga arkivi. <viewNowLink>Shihe tani</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Bashkëbisedim i nxjerrë nga arkivi.","settings.dataControls.archivedChats.untitled":"Bisedë pa titull","settings.dataControls.archivedChats.viewNow":"Shiko tani","settings.editRow.headerPlaceholder":"Kodi","settings.editRow.removeEntry":"Hiq hyrjen","settings.editRow.valuePlaceholder":"Vlera","settings.general.appearance":"Pamja","settings.general.appearance.codeFont":"Fonti i kodit","settings.general.appearance.codeFont.description":"Rregullo fontin dhe madhësinë e përdorur për kodin në të gjitha bisedat dhe diferencat","settings.general.appearance.codeFontFamily":"Familja e fontit të kodit","settings.general.appearance.codeFontSize":"Madhësia e shkronjave të kodit","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Bëj që dritaret të përdorin një sfond të plotë në vend të transparencës së sistemit","settings.general.appearance.opaqueWindows.label":"Përdor sfond dritareje jotransparent","settings.general.appearance.sansFontFamily":"Familja e fontit Sans","settings.general.appearance.sansFontFamily.description":"Rregullo fontin e përdorur për UI-në e Codex-it","settings.general.appearance.sansFontSize":"Madhësia e fontit Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Shfaq efekte festimi në dritare të plotë ndërkohë që GPT-5.3-Codex-Spark kryen ekzekutimin e parë","settings.general.appearance.sparkCelebrationEffects.label":"Efekte festimi me xixa","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"E errët","settings.general.appearance.theme.description":"Përdor modalitetin e çelët ose të errët ose përputhe me sistemin tënd","settings.general.appearance.theme.light":"E çelët","settings.general.appearance.theme.system":"Sistemi","settings.general.appearance.usePointerCursors.description":"Ndryshoje kursorin në tregues kur qëndron pezull mbi elementet ndërvepruese","settings.general.appearance.usePointerCursors.label":"Përdor kursorë tregues","settings.general.enterBehavior.description":"Kur është e aktivizuar, duhet të shtypni {modifierSymbol} + enter për të dërguar kërkesa me shumë rreshta.","settings.general.enterBehavior.label":"Kërkohet {modifierSymbol} + enter për të dërguar kërkesa të gjata","settings.general.experimentalFeatures":"Veçoritë eksperimentale (Beta)","settings.general.experimentalFeatures.empty":"Nuk disponohen veçori eksperimentale beta.","settings.general.experimentalFeatures.loading":"Duke u ngarkuar veçoritë eksperimentale…","settings.general.experimentalFeatures.restartNote":"Rinis Codex-in për të zbatuar ndryshimet e veçorive eksperimentale","settings.general.experimentalFeatures.toggle":"Ndrysho {featureName}","settings.general.followUpQueueMode.description":"Vendos në radhë kërkesat vijuese ndërkohë që Codex-i ekzekuton ose drejton ekzekutimin aktual. Shtyp {invertFollowUpShortcutLabel} për të bërë të kundërtën për një mesazh.","settings.general.followUpQueueMode.interrupt":"Drejtim","settings.general.followUpQueueMode.label":"Sjellja e kërkesave vijuese","settings.general.followUpQueueMode.queue":"Në radhë","settings.general.notifications":"Njoftimet","settings.general.power.preventSleepWhileRunning.description":"Mbaje të ndezur kompjuterin teksa Codex-i ekzekuton një bashkëbisedim.","settings.general.power.preventSleepWhileRunning.label":"Parandalo gjendjen e gjumit gjatë ekzekutimit","settings.git.branchPrefix.ariaLabel":"Parashtesa e degës","settings.git.branchPrefix.description":"Parashtesa mund të përdoret gjatë krijimit të degëve të reja në Codex","settings.git.branchPrefix.label":"Parashtesa e degës","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Parashtesa e degës nuk u ruajt","settings.git.branchPrefix.save.success":"Parashtesa e degës u ruajt","settings.git.commitInstructions.ariaLabel":"Udhëzimet për ruajtjen e ndryshimeve","settings.git.commitInstructions.description":"U shtuan te kërkesat për gjenerimin e mesazhit për ruajtjen e ndryshimeve","settings.git.commitInstructions.label":"Udhëzimet për ruajtjen e ndryshimeve","settings.git.commitInstructions.placeholder":"Shto udhëzimet e mesazhit për ruajtjen e ndryshimeve…","settings.git.commitInstructions.save":"Ruaj","settings.git.commitInstructions.save.error":"Udhëzimet e mesazhit për ruajtjen e ndryshimeve nuk u ruajtën","settings.git.commitInstructions.save.success":"Udhëzimet për ruajtjen e ndryshimeve u ruajtën","settings.git.forcePush.ariaLabel":"Detyro gjithmonë dërgimin","settings.git.forcePush.description":"Përdor --“force-with-lease“ kur dërgon nga Codex-i","settings.git.forcePush.label":"Detyro gjithmonë dërgimin","settings.git.forcePush.save.disabled":"Detyro gjithmonë dërgimin është çaktivizuar","settings.git.forcePush.save.enabled":"Detyro gjithmonë dërgimin është aktivizuar","settings.git.forcePush.save.error":"Cilësimi për dërgimin e detyruar nuk u ruajt","settings.git.prInstructions.ariaLabel":"Udhëzimet për kërkesat e tërheqjes","settings.git.prInstructions.description":"Shtuar në përmbajtjet e kërkesave të tërheqjes të krijuara nga Codex-i","settings.git.prInstructions.label":"Udhëzimet për kërkesat e tërheqjes","settings.git.prInstructions.placeholder":"Shto udhëzime për kërkesat e tërheqjes…","settings.git.prInstructions.save":"Ruaj","settings.git.prInstructions.save.error":"Udhëzimet për kërkesat e tërheqjes nuk u ruajtën","settings.git.prInstructions.save.success":"Udhëzimet për kërkesat e tërheqjes u ruajtën","settings.ide.defaultOpenTarget.description":"Aty ku skedarët dhe dosjet hapen si parazgjedhje","settings.ide.defaultOpenTarget.label":"Destinacioni i hapur i parazgjedhur","settings.ide.defaultOpenTarget.placeholder":"Nuk u gjet asnjë objektiv","settings.ide.language.auto":"Dikto automatikisht","settings.ide.language.autoOption":"Dikto automatikisht","settings.ide.language.description":"Gjuha për ndërfaqen e përdoruesit të aplikacionit","settings.ide.language.label":"Gjuha","settings.ide.language.search":"Kërko gjuhët","settings.layout.actionButton":"Rinis shtesën","settings.layout.actionTitle":"Cilësimet me veprim","settings.layout.fullWidthTitle":"Cilësimet (Gjerësi e plotë)","settings.layout.title":"Cilësimet","settings.localEnvironments.actions.add":"Shto veprim","settings.localEnvironments.actions.add.description":"Krijo një komandë të re për ta ekzekutuar nga shiriti i mjeteve.","settings.localEnvironments.actions.add.save":"Ruaj","settings.localEnvironments.actions.empty":"Shto një veprim për të ekzekutuar komandat nga shiriti lokal i mjeteve.","settings.localEnvironments.actions.icon.debug":"Spastro","settings.localEnvironments.actions.icon.run":"Ekzekuto","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Mjet","settings.localEnvironments.actions.item.button.delete":"Fshi","settings.localEnvironments.actions.item.command":"Skript veprimi","settings.localEnvironments.actions.item.name":"Emri","settings.localEnvironments.actions.item.platforms":"Platforma","settings.localEnvironments.actions.item.platforms.help":"Ekzekuto vetëm në një OS specifik.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Përzgjedhja e platformës","settings.localEnvironments.actions.item.platforms.specific":"Specifik për platformën","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Fshi","settings.localEnvironments.actions.title":"Veprimet","settings.localEnvironments.breadcrumb.back":"Prapa","settings.localEnvironments.breadcrumb.edit":"modifiko","settings.localEnvironments.breadcrumb.root":"Mjediset","settings.localEnvironments.environment.actions.description":"Këto veprime mund të ekzekutojnë çdo komandë dhe do të shfaqen te koka.","settings.localEnvironments.environment.actionsLabel":"Veprimet","settings.localEnvironments.environment.create":"Krijo mjedis lokal","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"Modifiko mjedisin lokal","settings.localEnvironments.environment.empty":"Për projekt nuk është konfiguruar ende asnjë mjedis lokal.","settings.localEnvironments.environment.name":"Emri","settings.localEnvironments.environment.setup":"Skripti i konfigurimit","settings.localEnvironments.environment.setup.description":"Ky skript do të ekzekutohet te krijimi i pemës së punës.","settings.localEnvironments.environment.setup.hint":"Ekzekutohet në rrënjën e projektit.","settings.localEnvironments.environment.setup.platformOverrides":"Mbivendosje të platformës","settings.localEnvironments.environment.setup.platformOverrides.add":"Shto skriptin e konfigurimit të {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Mbivendos skriptin e parazgjedhur për OS specifike.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Hiq","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Detajet e mjedisit","settings.localEnvironments.file.missing":"Ruaj për ta krijuar për herë të parë këtë skedar.","settings.localEnvironments.file.parseError":"E pamundur të analizohet skedari ekzistues. Ruajtja do ta mbishkruajë atë. ({error})","settings.localEnvironments.file.path":"Skedari: {path}","settings.localEnvironments.file.readError":"Të dhënat e mjedisit lokal nuk u ngarkuan. ({error})","settings.localEnvironments.file.title":"Skedari i mjedisit lokal","settings.localEnvironments.loading.body":"Duke marrë konfigurimin e projektit tënd.","settings.localEnvironments.loading.title":"Duke ngarkuar mjediset lokale","settings.localEnvironments.preview.devOnly":"(Vetëm për zhvilluesit)","settings.localEnvironments.preview.save":"Ruaj","settings.localEnvironments.preview.saveError":"Skedari nuk u ruajt. ({error})","settings.localEnvironments.preview.title":"Pamja paraprake","settings.localEnvironments.save.disabled.name":"Shto një emër mjedisi për ta ruajtur.","settings.localEnvironments.save.disabled.noChanges":"Nuk ka ndryshime për të ruajtur.","settings.localEnvironments.save.disabled.saving":"Duke ruajtur...","settings.localEnvironments.save.success":"Mjedisi lokal u ruajt","settings.localEnvironments.unavailable.body":"Nuk mundëm të ngarkonim cilësimet e mjedisit lokal për këtë projekt.","settings.localEnvironments.unavailable.title":"Mjediset lokale janë të padisponueshme","settings.localEnvironments.workspace.add":"Shto një projekt","settings.localEnvironments.workspace.title":"Projekti","settings.localEnvironments.workspaceSelect.addLabel":"Shto mjedis","settings.localEnvironments.workspaceSelect.description":"Mjediset lokale i tregojnë Codex-it se si të konfigurojë pemë pune për një projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Nuk ka ende asnjë projekt. Shto një për të konfiguruar mjediset lokale.","settings.localEnvironments.workspaceSelect.errorLabel":"Mjedisi ka nevojë për vëmendje","settings.localEnvironments.workspaceSelect.learnMore":"Mëso më shumë","settings.localEnvironments.workspaceSelect.listLabel":"Projektet e disponueshme","settings.localEnvironments.workspaceSelect.loading":"Duke ngarkuar projektet.","settings.localEnvironments.workspaceSelect.loadingLabel":"Duke ngarkuar mjedisin","settings.localEnvironments.workspaceSelect.title":"Përzgjidh një projekt","settings.localEnvironments.workspaceSelect.viewAction":"Shiko","settings.mcp.addServer":"Shto server","settings.mcp.app.configure":"Konfiguro","settings.mcp.app.connect":"Lidh","settings.mcp.apps.refresh":"Rifresko","settings.mcp.detail.addArgument":"Shto argument","settings.mcp.detail.addEnvVar":"Shto variablën e mjedisit","settings.mcp.detail.addEnvVarPassthrough":"Shto variabël","settings.mcp.detail.args":"Argumentet","settings.mcp.detail.back":"Prapa","settings.mcp.detail.command":"Komanda për të nisur","settings.mcp.detail.cwd":"Direktoria e punës","settings.mcp.detail.docs":"Hap dokumentacionin MCP","settings.mcp.detail.docs.link":"Dokumentet","settings.mcp.detail.envVarPassthrough":"Kalimi i variablës së mjedisit","settings.mcp.detail.envVars":"Variablat e mjedisit","settings.mcp.detail.http.addEnvHeader":"Shto variabël","settings.mcp.detail.http.addHeader":"Shto kokë","settings.mcp.detail.http.bearerToken":"Variablat e mjedisit të tokenit të mbajtësit","settings.mcp.detail.http.envHeaders":"Kokat nga variablat e mjedisit","settings.mcp.detail.http.headers":"Kokat","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Emri","settings.mcp.detail.save":"Ruaj","settings.mcp.detail.switchTransportNotice":"Nëse dëshiron të ndërrosh llojin e serverit MCP, në fillim çinstaloje.","settings.mcp.detail.titleExisting":"Përditëso {name} MCP","settings.mcp.detail.titleNew":"Lidh me një MCP të personalizuar","settings.mcp.detail.transport.http":"HTTP-ja e transmetueshme","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Çinstalo","settings.mcp.empty":"Asnjë server MCP i personalizuar i lidhur","settings.mcp.myServers":"Serverët e personalizuar","settings.mcp.partnerServer.description.figma":"Gjenero kod më të mirë duke sjellë kontekstin e plotë të Figma-s","settings.mcp.partnerServer.description.github":"Integro me API-të e GitHub-it për të automatizuar rrjedhat e punës dhe për të nxjerrë të dhëna","settings.mcp.partnerServer.description.linear":"Integro me gjurmimin e problemeve dhe menaxhimin e projekteve të Linear-it","settings.mcp.partnerServer.description.notion":"Lexo dokumente, përditëso faqe, menaxho detyra","settings.mcp.partnerServer.description.playwright":"Integro automatizimin e shfletuesit për të zbatuar dizajnin dhe për të testuar ndërfaqen e përdoruesit.","settings.mcp.partnerServer.install":"Instalo","settings.mcp.partnerServer.installAndAuthenticate":"Instalo dhe vërteto","settings.mcp.partnerServer.logoAlt":"{label} logo","settings.mcp.partnerServer.manage":"Menaxho","settings.mcp.partnerServer.vendor":"nga {vendor}","settings.mcp.recommendedServers":"Serverët e rekomanduar","settings.mcp.restartApp":"Rinis","settings.mcp.restartExtension":"Rinis shtesën","settings.mcp.server.enable":"Aktivizo","settings.mcp.server.login":"Vërteto","settings.mcp.server.settings":"Cilësimet","settings.multiselect.createOption":'Krijo "{value}"',"settings.multiselect.removeOption":"Hiq","settings.nav.account":"Llogaria","settings.nav.agent":"Konfigurimi","settings.nav.ariaLabel":"Cilësimet","settings.nav.back":"Kthehu tek aplikacioni","settings.nav.data-controls":"Bashkëbisedimet e arkivuara","settings.nav.environments":"Mjediset në renë kompjuterike","settings.nav.externalTooltip":"[alfa] Hapet në shfletues","settings.nav.general-settings":"Të përgjithshme","settings.nav.git-settings":"Git","settings.nav.local-environments":"Mjediset","settings.nav.mcp-settings":"Serverët MCP","settings.nav.notImplemented":"[alfa] Nuk ofrohet në Alpha","settings.nav.personalization":"Personalizimi","settings.nav.skills-settings":"Aftësitë","settings.nav.usage-analytics":"Përdorimi dhe analitika","settings.nav.worktrees":"Pemët e punës","settings.openSourceLicenses.back":"Prapa","settings.openSourceLicenses.loading":"Duke ngarkuar...","settings.openSourceLicenses.missing":"Nuk u gjetën njoftime nga palë të treta.","settings.openSourceLicenses.notSupported":"Nuk disponohen në këtë host.","settings.openSourceLicenses.rowDescription":"Njoftime nga palë të treta për varësitë e grupuara","settings.openSourceLicenses.rowLabel":"Licencat me burim të hapur","settings.openSourceLicenses.subtitle":"Njoftime nga palë të treta për varësitë e përfshira në këtë aplikacion","settings.openSourceLicenses.title":"Licencat me burim të hapur","settings.openSourceLicenses.view":"Shiko","settings.personalization.agents.description":"Modifiko udhëzimet që e përshtatin Codex-in për ty. {learnMore}","settings.personalization.agents.learnMore":"Mëso më shumë","settings.personalization.agents.loadError":"Ngarkimi i agjentëve.md nuk u krye","settings.personalization.agents.loading":"Duke ngarkuar agjentët.md...","settings.personalization.agents.placeholder":"Shto udhëzimet e tua të përshtatura...","settings.personalization.agents.retry":"Riprovo","settings.personalization.agents.save":"Ruaj","settings.personalization.agents.save.error":"Ruajtja e agjentëve.md nuk u krye","settings.personalization.agents.save.success":"Agjentët.md u ruajtën","settings.personalization.agents.title":"Udhëzimet e përshtatura","settings.personalization.personality.description":"Zgjidh një ton të parazgjedhur për përgjigjet e Codex-it","settings.personalization.personality.label":"Personaliteti","settings.sample.contentBody":"Përdor këtë strukturë për të kompozuar panelet e cilësimeve me hapësirë të qëndrueshme.","settings.sample.contentTitle":"Shembull blloku përmbajtjeje","settings.section.account":"Llogaria","settings.section.agent":"Konfigurimi","settings.section.data-controls":"Bashkëbisedimet e arkivuara","settings.section.environments":"Mjediset në renë kompjuterike","settings.section.external":"Hapet në shfletuesin tënd gjatë versionit Alfa","settings.section.general-settings":"Të përgjithshme","settings.section.git-settings":"Git","settings.section.local-environments":"Mjediset","settings.section.mcp-settings":"Serverët MCP","settings.section.mcp-settings.docs":"Dokumentet","settings.section.mcp-settings.subtitle":"Lidh mjetet e jashtme dhe burimet e të dhënave.","settings.section.personalization":"Personalizimi","settings.section.skills-settings":"Aftësitë","settings.section.unavailable":"Nuk disponohen në Alfa","settings.section.usage-analytics":"Përdorimi dhe analitika","settings.section.worktrees":"Pemët e punës","settings.threadDetail.description":"Zgjidh se sa rezultate të komandës të shfaqen në bashkëbisedime","settings.threadDetail.label":"Detajet e bashkëbisedimit","settings.worktrees.conversation.untitled":"Bisedë pa titull","settings.worktrees.delete.error":"Pema e punës nuk u fshi","settings.worktrees.empty.body":"Pemët e punës të krijuara nga Codex-i do të shfaqen këtu.","settings.worktrees.empty.title":"Nuk ka ende pemë pune","settings.worktrees.error.body":"Diçka shkoi keq gjatë ngarkimit të pemëve të punës.","settings.worktrees.error.retry":"Riprovo","settings.worktrees.error.title":"Pemët e punës nuk u ngarkuan","settings.worktrees.loading.body":"Duke marrë detajet e pemës së punës.","settings.worktrees.loading.title":"Duke ngarkuar pemët e punës","settings.worktrees.repository.loading":"Duke ngarkuar të dhënat meta të depos…","settings.worktrees.repository.unknown":"Depo e panjohur","settings.worktrees.row.conversations":"Bisedat","settings.worktrees.row.conversations.empty":"Nuk ka biseda të lidhura me këtë pemë pune.","settings.worktrees.row.conversations.loading":"Duke ngarkuar bisedat…","settings.worktrees.row.delete":"Fshi","settings.worktrees.row.title":"Pemë pune","sidebarElectron.addWorkspaceRoot":"Shto një projekt të ri","sidebarElectron.archiveThread":"Arkivo bashkëbisedimin","sidebarElectron.archiveThreadError":"Bashkëbisedimi nuk u arkivua","sidebarElectron.collapseFolder":"Palos dosjen","sidebarElectron.createStableWorktree.dialog.cancel":"Anulo","sidebarElectron.createStableWorktree.dialog.create":"Krijo","sidebarElectron.debugNavLink":"Spastro","sidebarElectron.editWorkspaceRootOptionName":"Modifiko emrin","sidebarElectron.expandFolder":"Zgjero dosjen","sidebarElectron.groupByMenu.recency":"Lista kronologjike","sidebarElectron.groupByMenu.title":"Organizo","sidebarElectron.groupByMenu.workspace":"Sipas projektit","sidebarElectron.inboxRouteNavLink":"Automatizimet","sidebarElectron.markThreadUnread":"Shënoje si të palexuar","sidebarElectron.missingWorkspaceRoot":"Kjo dosje projekti u fshi ose u zhvendos","sidebarElectron.newThread":"Bashkëbisedim i ri","sidebarElectron.newThreadInGroup":"Nis bashkëbisedim të ri në {folder}","sidebarElectron.noRecentThreads":"Asnjë bashkëbisedim i fundit","sidebarElectron.noTasks":"Nuk ka bashkëbisedime","sidebarElectron.noTasks.start":"Shto një projekt të ri","sidebarElectron.noTasksWithFilter":"Nuk ka bashkëbisedime që përputhen me filtrat","sidebarElectron.pinnedThreads":"Bashkëbisedimet e ngulitura","sidebarElectron.recentNavLink":"Bashkëbisedimet","sidebarElectron.recentThreads":"Bashkëbisedimet e fundit","sidebarElectron.removeWorkspaceRootOption":"Hiq","sidebarElectron.renameThread":"Riemërto bashkëbisedimin","sidebarElectron.renameThreadDialogAriaLabel":"Titulli i bashkëbisedimit","sidebarElectron.renameThreadDialogCancel":"Anulo","sidebarElectron.renameThreadDialogPlaceholder":"Shto një titull...","sidebarElectron.renameThreadDialogSave":"Ruaj","sidebarElectron.renameThreadDialogSubtitle":"Mbaje të shkurtër dhe të dallueshëm.","sidebarElectron.renameThreadDialogTitle":"Riemërto bashkëbisedimin","sidebarElectron.renameThreadError":"Bashkëbisedimi nuk u riemërtua","sidebarElectron.renameWorkspaceRootOptionLabel":"Emri i afishimit","sidebarElectron.showLess":"Shfaq më pak","sidebarElectron.showMenu.all":"Të gjitha bashkëbisedimet","sidebarElectron.showMenu.relevant":"I përshtatshëm","sidebarElectron.showMenu.relevantHint":"Shfaq vetëm bashkëbisedimet e fundit për degën aktuale, pemët e punës ose bashkëbisedimet e tjera që kanë nevojë për vëmendjen tënde","sidebarElectron.showMenu.title":"Shfaq","sidebarElectron.showMenu.tooltip":"Filtro, rendit dhe organizo bashkëbisedimet","sidebarElectron.showMenu.trigger":"Filtro bashkëbisedimet e shiritit anësor","sidebarElectron.showMore":"Shfaq më shumë","sidebarElectron.skillsRouteNavLink":"Aftësitë","sidebarElectron.sortMenu.created":"U krijua","sidebarElectron.sortMenu.title":"Rendit sipas","sidebarElectron.sortMenu.updated":"U përditësua","sidebarElectron.taskNavigation":"Dosjet e automatizimeve","sidebarElectron.tasksInFolder":"Automatizimet në {folder}","sidebarElectron.workspaceOptions":"Veprimet e projektit për {folder}","sidebarElectron.worktreeGroupTooltip":"Kjo është një hapësirë pune git","skills.appsPage.createSkill":"Aftësi e re","skills.appsPage.empty.skills":"Nuk u gjetën aftësi","skills.appsPage.search.skills":"Kërko aftësi","skills.appsPage.search.skills.label":"Kërko aftësi","skills.appsPage.section.installedApps":"Të instaluara","skills.appsPage.section.skills":"Aftësitë","skills.appsPage.subheading":"Jepi superfuqi Codex-it. <link>Mëso më shumë</link>","skills.appsPage.tab.recommended":"Rekomanduar","skills.appsPage.tab.skills":"Aftësitë","skills.card.contentsError":"Përmbajtja e aftësisë nuk u ngarkua.","skills.card.disable":"Çaktivizo","skills.card.disableSuccess":"Aftësia {skillName} u çaktivizua","skills.card.disabledBadge":"Çaktivizuar","skills.card.enable":"Aktivizo","skills.card.enableSuccess":"Aftësia {skillName} u aktivizua","skills.card.loadingContents":"Duke ngarkuar përmbajtjen e aftësisë...","skills.card.more":"Më shumë veprime","skills.card.open":"Hap","skills.card.removeFailed":"Aftësia nuk u çinstalua","skills.card.removeSuccess":"Aftësia {skillName} u çinstalua","skills.card.toggleEnabledError":"Aftësia nuk u përditësua","skills.card.try":"Provo","skills.card.trySkill":"Provo aftësinë","skills.card.uninstall":"Çinstalo","skills.hero.dotLabel":"Shko te diapozitivi {index}","skills.hero.next":"Aftësia tjetër e spikatur","skills.hero.trySkill":"Provo aftësinë","skills.page.createSkill":"Aftësi e re","skills.page.empty":"Nuk u gjetën aftësi","skills.page.filteredEmpty":"Asnjë aftësi nuk përputhet me filtrat e tu","skills.page.filteredEmptyDescription":"Provo të rregullosh filtrat e kërkimit ose të fushëveprimit","skills.page.heading":"Aftësitë","skills.page.loading":"Duke ngarkuar aftësitë...","skills.page.refreshSkills":"Rifresko","skills.page.refreshSkillsToUseNew":"Rifresko për të përdorur aftësinë(të) e re(ja)","skills.page.search":"Kërko aftësi","skills.page.search.label":"Kërko aftësi","skills.page.subheading":"Jepi superfuqi Codex-it. <link>Mëso më shumë</link>","skills.preview.copyPrompt":"Kopjo kërkesën","skills.preview.examplePrompt":"Shembull kërkese","skills.recommended.error":"Aftësitë e rekomanduara nuk u ngarkuan","skills.recommended.install":"Instalo","skills.recommended.installSkill":"Instalo aftësinë","skills.recommended.installSuccess":"Aftësia {skillName} u instalua","skills.recommended.installed":"Të instaluara","skills.scope.admin":"Administratori","skills.scope.adminInstalled":"Administratori u instalua","skills.scope.builtIn":"Sistemi","skills.scope.personal":"Personale","skills.scope.repo":"Arkivi","skills.scope.system":"Sistemi","skills.scope.team":"Ekip","skills.scope.user":"Përdorues","skills.section.installed":"Të instaluara","skills.section.recommended":"Të rekomanduara","story.slidingToggle.existing":"Ekzistuese","story.slidingToggle.fromLocal":"Nga mjedisi lokal","story.slidingToggle.new":"E re","story.slidingToggle.toLocal":"Në mjedisin lokal","terminal.close":"Mbyll terminalin","terminal.title":"Terminali","thinkingShimmer.default":"Duke u menduar","threadEnvIcon.cloudTooltip":"Kjo bisedë po ekzekutohet në Codex-im në renë kompjuterike.","threadEnvIcon.localTooltip":"Kjo bisedë po ekzekutohet lokalisht.","threadEnvIcon.worktreeTooltip":"Kjo bisedë po ekzekutohet në një pemë pune lokale në git.","threadHeader.archiveConfirmCancel":"Anulo","threadHeader.archiveConfirmConfirm":"Arkivo","threadHeader.archiveConfirmSubtitle":"Mund ta gjesh më vonë në bashkëbisedimet e tua të arkivuara.","threadHeader.archiveConfirmTitle":"Të arkivohet bashkëbisedimi?","threadHeader.copyAppLink":"Kopjo lidhjen e detajuar","threadHeader.copySessionId":"Kopjo ID-në e sesionit","threadHeader.copyWorkingDirectory":"Kopjo direktorinë e punës","threadHeader.forkIntoLocal":"Bigëzoje në mjedisin lokal","threadHeader.forkIntoWorktree":"Bigëzoje në një pemë pune të re","threadHeader.forkPendingWorktreePrompt":"Bigëzoje këtë bisedë në një pemë pune të re.","threadHeader.forkPendingWorktreeTitle":"Bisedë e bigëzuar","threadHeader.forkThreadError":"Dështoi që të bigëzojë bashkëbisedimin","threadHeader.forkThreadRequiresGitRepo":"Bigëzimi në një pemë pune të re kërkon një depo git","threadHeader.moreActions":"Veprimet e bashkëbisedimit","threadPage.newThread":"Bashkëbisedim i ri","threadPage.runAction.changeEnvironment":"Ndrysho mjedisin","threadPage.runAction.dropdown.titleWithEnvironment":"Veprimet në {environmentName}","threadPage.runAction.environmentSelector.label":"Zgjidh mjedisin","threadPage.runAction.label":"Ekzekuto","threadPage.runAction.missing.label":"Konfiguro një veprim ekzekutimi","threadPage.runAction.setup.commandLabel":"Komanda për të ekzekutuar","threadPage.runAction.setup.description":"Tregoji Codex-it si të instalosh varësitë dhe të nisësh aplikacionin tënd.","threadPage.runAction.setup.editMore":"Cilësimet e mjedisit","threadPage.runAction.setup.placeholder":"p.sh.: npm instalo npm ekzekuto","threadPage.runAction.setup.submit":"Ruaj dhe ekzekuto","threadPage.runAction.setup.title":"Ekzekuto","threadPage.runAction.tooltip.withEnvironment":"Veprimet në {environmentName}","threadPage.toggleDiffPanel":"Ndrysho panelin e diferencave","threadPage.toggleTerminal":"Ndrysho terminalin","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Hap dosjen","toolSummaryForCmd.exploredFiles":"<verb>Skedarët</verb> e listuar","toolSummaryForCmd.exploredFilesInPath":"<verb>Skedarët </verb> e listuar në {path}","toolSummaryForCmd.exploringFiles":"<verb>Duke listuar</verb> skedarët","toolSummaryForCmd.exploringFilesInPath":"<verb>Duke listuar</verb> skedarët në {path}","toolSummaryForCmd.ranGenericCommand":"<status>Komanda u ekzekutua</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>U ekzekutua</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lexo</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Duke ekzekutuar komandën</status>{timer}","toolSummaryForCmd.runningTimer":"për {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Kërkoi</verb> për {query}","toolSummaryForCmd.searchedForFiles":"<verb>Kërkoi</verb> për skedarë","toolSummaryForCmd.searchedForInPath":"<verb>Kërkoi</verb> për {query} në {path}","toolSummaryForCmd.searchingFor":"<verb>Duke kërkuar</verb> për {query}","toolSummaryForCmd.searchingForFiles":"<verb>Duke kërkuar</verb> për skedarë","toolSummaryForCmd.searchingForInPath":"<verb>Duke kërkuar</verb> për {query} në {path}","traceRecording.details.noteLabel":"Çfarë po bëje kur ndodhi kjo? (opsionale)","traceRecording.details.notePlaceholder":"Navigova te një bashkëbisedim i madh, pastaj ndërrova skedat vazhdimisht…","traceRecording.details.submit":"Dërgo gjurmimin","traceRecording.details.subtitle":"Mund ta dërgojmë këtë gjurmim profili për të ndihmuar në diagnostikimin e problemeve të performancës.","traceRecording.details.title":"Të dërgohet gjurmimi i profilit?","traceRecording.progress.subtitle":"Mbaje Codex-in të hapur ndërsa përfundon kjo.","traceRecording.saving.title":"Duke ruajtur gjurmimin...","traceRecording.startDetails.cancel":"Anulo","traceRecording.startDetails.submit":"OK, nis regjistrimin","traceRecording.startDetails.subtitle":"Pasi të klikosh OK, riprodho problemin e performancës, pastaj kliko treguesin e kuq lundrues për të ndaluar dhe për të rishikuar gjurmimin.","traceRecording.startDetails.title":"Si funksionon regjistrimi i gjurmimit","traceRecording.stopButton.ariaLabel":"Ndalo regjistrimin e gjurmimit","traceRecording.upload.successToast":"Gjurmimi i profilit u dërgua.","traceRecording.uploading.title":"Duke ngarkuar gjurmimin…","wham.diff.addComment":"Shto koment","wham.diff.binaryFile":"Skedari binar nuk shfaqet","wham.diff.noContent":"Nuk ka përmbajtje","wham.fileTag.deleted":"U fshi","wham.fileTag.new":"I ri","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}o","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}mu","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}j","wham.formattedRelativeDateTime.compactYearsAgo":"{value}v","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Duke punuar me detyrën tënde","wham.whamProposedTask.title":"Detyra e sugjeruar","wham.whamProposedTask.useSuggestion":"Përdor sugjerimin","workspaceRootDialog.addError":"Projekti nuk u shtua","workspaceRootDialog.cancel":"Anulo","workspaceRootDialog.confirmAdd":"Shto një projekt","workspaceRootDialog.confirmPick":"Përdor një projekt","workspaceRootDialog.description":"Vendos një shteg në {host} për ta përdorur si projekt.","workspaceRootDialog.pathLabel":"Shtegu i projektit","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Shto shtegun e projektit","workspaceRootDialog.title.pick":"Zgjidh shtegun e projektit","worktreeInitV2.cancel":"Anulo","worktreeInitV2.notification.failedTitle":"Konfigurimi i pemës së punës dështoi","worktreeInitV2.output.empty":"Duke pritur rezultatin...","worktreeInitV2.status.error":"Konfigurimi i pemës së punës dështoi.","worktreeInitV2.status.running":"Duke krijuar një pemë pune dhe duke ekzekutuar konfigurimin.","worktreeInitV2.status.runningFork":"Duke krijuar një pemë pune për ta bigëzuar këtë bisedë.","worktreeInitV2.status.success":"Pema e punës është gati.","worktreeInitV2.title":"Duke krijuar pemën e punës","worktreeInitV2.workLocallyInstead":"Puno lokalisht në vend të kësaj","worktreeRestoreBanner.body":"Pema e punës e këtij bashkëbisedimi u hoq për të kursyer hapësirë ​​në disk","worktreeRestoreBanner.missing.body":"Direktoria e punës e këtij bashkëbisedimi nuk ekziston më","worktreeRestoreBanner.missing.title":"Mungon direktoria aktuale e punës","worktreeRestoreBanner.restore.error":"Pema e punës nuk mund të rikthehej: {message}","worktreeRestoreBanner.restore.success":"Pema e punës u rikthye","worktreeRestoreBanner.restoreCta":"Rikthe pemën e punës","worktreeRestoreBanner.title":"Pema e punës u pastrua"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopjo","app.sidebar.hide":"Fshih shiritin anësor","app.sidebar.show":"Shfaq shiritin anësor","app.sidebar.tooltip":"Ndrysho shiritin anësor","appHeader.installUpdate":"Përditëso","appSunset.body":"Ky version i aplikacionit nuk mbështetet më. Shkarko versionin e fundit <here>këtu</here>.","appSunset.title":"Kërkohet përditësim","automation.updateDirective.create":"Krijo","automation.updateDirective.open":"Hap","automation.updateDirective.untitled":"Automatizim pa titull","automation.updateDirective.update":"Përditëso","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# përpjekje} other {# përpjekje}}","cloudTaskRow.archiveError":"Detyra nuk u arkivua","code.diff.requestChange":"Kërko ndryshim","code.diffComment.cancel":"Anulo","code.diffComment.comment":"Komento","code.diffComment.delete":"Fshi","code.diffComment.save":"Ruaj","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Nuk është raportuar asnjë gjetje.","codex.alert.closeAriaLabel":"Mbyll","codex.appUpsellBanner.cbpApi.message":"Krijo më shpejt me aplikacionin Codex. Shkarko tani ose {learnMoreLink}.","codex.appUpsellBanner.download":"Shkarko","codex.appUpsellBanner.freeGo.message":"Codex-i është i përfshirë në planin tënd deri më 2 mars. Provo aplikacionin Codex për të krijuar më shpejt.","codex.appUpsellBanner.later":"Më vonë","codex.appUpsellBanner.learnMoreLowercase":"mëso më shumë","codex.appUpsellBanner.new":"E re","codex.appUpsellBanner.proPlusBusiness.message":"Provo aplikacionin Codex me 2 herë më shumë kufij përdorimi deri më 2 prill. Shkarko tani ose {learnMoreLink}.","codex.appUpsellBanner.title":"Aplikacioni Codex","codex.applyDropdown.header.changes":"Ndryshimet","codex.applyDropdown.header.fileCount":"{count, plural, one {# skedar} other {# skedarë}}","codex.applyDropdown.header.rows":"rreshta","codex.applyDropdown.header.title":"Zbato ndryshimet","codex.applyDropdown.header.workspace":"Projekti","codex.applyDropdown.results.conflicted":"{count, plural, one {1 skedar në konflikt:} other {{count} skedarë në konflikt:}}","codex.applyDropdown.results.empty":"Nuk u kopjua asnjë skedar","codex.applyDropdown.results.skipped":"{count, plural, one {1 skedar i anashkaluar:} other {{count} skedarë të anashkaluar:}}","codex.applyOrRevertBanner.apply":"Zbato","codex.applyOrRevertBanner.applyMessage":"Të zbatohen ndryshimet dhe të vazhdohet lokalisht?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Kjo detyrë është krijuar në{environment} kështu që mund të mos zbatohet pa probleme.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Ndryshimet e bëra në {environment} mund të mos zbatohen pa probleme.","codex.applyOrRevertBanner.reapply":"Rizbato","codex.applyOrRevertBanner.revert":"Zhbëj","codex.applyOrRevertBanner.revertMessage":"Të zhbëhen ndryshimet e zbatuara?","codex.applyResultsDialog.applied":"Të zbatuara pa probleme ({count})","codex.applyResultsDialog.close":"Mbyll","codex.applyResultsDialog.conflicted":"Në konflikt ({count})","codex.applyResultsDialog.noDetails":"Nuk ka detaje të disponueshme për skedarin.","codex.applyResultsDialog.skipped":"Anashkaluar ({count})","codex.applyResultsDialog.title":"Zbato rezultatet","codex.archiveInfo":"Shiko bisedat e arkivuara në {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kontrollet e të dhënave","codex.archiveInfo.electron":"Shiko bisedat e arkivuara në {settingsLink}","codex.archiveInfo.extension":"Shiko bisedat e arkivuara në dosjen tënde .codex.","codex.archiveInfo.settingsLink":"Cilësimet","codex.banner.content.description":"Ekzekutoji detyrat paralelisht, gjurmo ecurinë kudo dhe rishikoji PR-të me IA.","codex.banner.content.headline":"Codex-i i bën të gjitha.","codex.cloudTaskRow.archiveTask":"Arkivo detyrën","codex.cloudTaskRow.confirmArchiveTask":"Konfirmo","codex.command.feedback":"Përshtypje","codex.command.findInThread":"Gjej","codex.command.forceReloadSkills":"Detyro ringarkimin e aftësive","codex.command.logOut":"Dil","codex.command.manageTasks":"Menaxho detyrat","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Prapa","codex.command.navigateForward":"Përpara","codex.command.newThread":"Bashkëbisedim i ri","codex.command.nextThread":"Bashkëbisedimi i radhës","codex.command.openFolder":"Hap dosjen","codex.command.openSkills":"Shko tek aftësitë","codex.command.openThreadOverlay":"Bashkëbisedim i shfaqur në ekran","codex.command.personalitySettings":"Personaliteti","codex.command.previousThread":"Bashkëbisedimi i mëparshëm","codex.command.settings":"Cilësimet","codex.command.toggleDiffPanel":"Ndrysho panelin e diferencave","codex.command.toggleSidebar":"Ndrysho shiritin anësor","codex.command.toggleTerminal":"Ndrysho terminalin","codex.commandGroup.app":"Aplikacioni","codex.commandGroup.configure":"Konfiguro","codex.commandGroup.navigation":"Navigimi","codex.commandGroup.panels":"Panelet","codex.commandGroup.skills":"Aftësitë","codex.commandGroup.thread":"Bashkëbisedim","codex.commandGroup.workspace":"Projekti","codex.commandMenu.noResults":"Nuk ka përputhje","codex.commandMenu.searchPlaceholder":"Komandat e kontrollit","codex.commandMenu.suggestedGroup":"Të sugjeruara","codex.commandMenu.switchWorkspace":"Ndërro projektin","codex.commandMenu.title":"Menyja e komandave","codex.common.retry":"Riprovo","codex.composer.searchBranches":"Kërko degët","codex.dialog.basic.body":"Ky është një dialog i thjeshtë modal duke përdorur përmbledhësin tonë rreth Radix Dialog-ut.","codex.dialog.basic.cancel":"Anulo","codex.dialog.basic.confirm":"Konfirmo","codex.dialog.basic.open":"Hap dialogun","codex.dialog.basic.title":"Shembull dialogu","codex.dialog.long.close":"Mbyll","codex.dialog.long.line":"Rresht i lëvizshëm{index} për të treguar përmbajtje të gjatë brenda dialogut.","codex.dialog.long.open":"Hap dialogun e gjatë","codex.dialog.long.title":"Dialog me përmbajtje të gjatë","codex.dialog.unstyled.body":"Kjo histori tregon se si thirrësit mund ta kontrollojnë plotësisht stilimin e përmbajtjes së dialogut.","codex.dialog.unstyled.open":"Hap dialogun e pastilizuar","codex.dialog.unstyled.title":"Përmbajtje e pastilizuar","codex.diff.openInEditorPrompt.openButton":"Hap te modifikuesi","codex.diff.openInEditorPrompt.singleLine":"Ky skedar është shumë i madh për t'u shfaqur këtu.","codex.diffView.failedToDecodeBase64Diff":"Dekodimi i diferencave base64 dështoi","codex.diffView.filesChanged":"{fileCount, plural, one {# skedar i ndryshuar} other {# skedarë të ndryshuar}}","codex.diffView.imagePreviewAlt":"Pamje paraprake e imazhit","codex.diffView.imagePreviewEmpty":"Nuk ka imazh","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Nuk ka të dhëna për diferenca","codex.diffView.pdfPreview.nextPage":"Faqja tjetër","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Faqja e mëparshme","codex.diffView.pdfPreviewEmpty":"Jo pamje paraprake e PDF-së","codex.diffView.pdfPreviewError":"E pamundur të krijohet pamja paraprake e PDF-së","codex.diffView.richPreviewDisable":"Çaktivizo pamjen paraprake të detajuar","codex.diffView.richPreviewEnable":"Aktivizo pamjen paraprake të detajuar","codex.diffView.richPreviewLoading":"Duke ngarkuar pamjen paraprake…","codex.diffView.richPreviewToggle":"Ndrysho pamjen paraprake të detajuar","codex.diffView.switchToUnified":"Kalo te ndryshimi i unifikuar","codex.environmentSelector.noEnvironment":"Asnjë mjedis","codex.environments.environmentSettings":"Cilësimet e mjedisit","codex.environments.learnMore":"Mëso më shumë","codex.environments.listError":"Ngarkimi i mjediseve dështoi.","codex.environments.noEnvironmentsFound":"Nuk u gjetën mjedise","codex.environments.searchError":"Kërkimi i mjediseve dështoi.","codex.errorBoundary.genericError":"Ups, ka ndodhur një gabim","codex.errorBoundary.goHome":"Provo përsëri","codex.file.patch.missing":"E pamundur të ndërtohej riparimi për këtë skedar.","codex.gallery.automations.cwdLabel":"Projektet","codex.gallery.automations.nameLabel":"Emri","codex.gallery.automations.namePlaceholder":"Përmblidh një detyrë","codex.gallery.automations.promptLabel":"Kërkesë","codex.gallery.automations.promptPlaceholder":"Përshkruaj ç'duhet të bëjë Codex-i","codex.gallery.dialogs.automation.label":"Dialog automatizimi","codex.gallery.dialogs.basic.body":"Përdor këtë strukturë për konfirmime të drejtpërdrejta ose formularë të shkurtër.","codex.gallery.dialogs.basic.cancel":"Anulo","codex.gallery.dialogs.basic.confirm":"Konfirmo","codex.gallery.dialogs.basic.label":"Dialog bazik","codex.gallery.dialogs.basic.title":"Shembull dialogu","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Përshkruaj problemin","codex.gallery.dialogs.feedbackSubmission.bad":"Rezultat i keq","codex.gallery.dialogs.feedbackSubmission.bug":"Defekt","codex.gallery.dialogs.feedbackSubmission.good":"Rezultat i mirë","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Përfshi regjistrat e sesioneve aktuale të Codex-it","codex.gallery.dialogs.feedbackSubmission.label":"Dorëzimi i përshtypjes","codex.gallery.dialogs.feedbackSubmission.other":"Tjetër","codex.gallery.dialogs.feedbackSubmission.placeholder":"Përshkruaj problemin këtu","codex.gallery.dialogs.feedbackSubmission.submit":"Dorëzo","codex.gallery.dialogs.feedbackSubmission.title":"Përshtypje","codex.gallery.dialogs.feedbackSuccess.body":"Përshtypja u ngarkua. Nëse problemi vazhdon, hap një çështje në GitHub ose përmend ID-në e bashkëbisedimit në një çështje ekzistuese të hapur:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Hiq","codex.gallery.dialogs.feedbackSuccess.label":"Përshtypja u dërgua me sukses","codex.gallery.dialogs.feedbackSuccess.title":"Përshtypja u ngarkua","codex.gallery.dialogs.gitApplyResults.applied":"Zbatuar pastër (2)","codex.gallery.dialogs.gitApplyResults.close":"Mbyll","codex.gallery.dialogs.gitApplyResults.conflicted":"Në konflikt (1)","codex.gallery.dialogs.gitApplyResults.label":"Zbato rezultatet","codex.gallery.dialogs.gitApplyResults.title":"Zbato rezultatet","codex.gallery.dialogs.gitPushError.body":"Tërhiq ndryshimet e fundit ose detyro dërgimin nëse e di që historiku i largët mund të mbishkruhet në mënyrë të sigurt.","codex.gallery.dialogs.gitPushError.cancel":"Anulo","codex.gallery.dialogs.gitPushError.force":"Dërgim i detyruar","codex.gallery.dialogs.gitPushError.label":"Gabim në dërgim","codex.gallery.dialogs.gitPushError.subtitle":"Dega jote është pas “origin/main”.","codex.gallery.dialogs.gitPushError.title":"Ndryshimet nuk u dërguan","codex.gallery.dialogs.gitRevert.cancel":"Anulo","codex.gallery.dialogs.gitRevert.confirm":"Zhbëj","codex.gallery.dialogs.gitRevert.label":"Zhbëj ndryshimet","codex.gallery.dialogs.gitRevert.skip":"Mos pyet sërish","codex.gallery.dialogs.gitRevert.subtitle":"Ky veprim i heq të gjitha këto ndryshime.","codex.gallery.dialogs.gitRevert.title":"Dëshiron të zhbësh ndryshimet?","codex.gallery.dialogs.longForm.label":"Dialog i gjatë","codex.gallery.dialogs.proseModal.body":"Ky stil modali përdoret për udhëzime më të gjata, orientim ose blloqe me përmbajtje të pasur.","codex.gallery.dialogs.proseModal.close":"Mbyll","codex.gallery.dialogs.proseModal.subtitle":"Bashkëndaj udhëzime ose dokumentacione më të gjata këtu.","codex.gallery.dialogs.proseModal.title":"Modal prozë","codex.gallery.dialogs.submitBlocked.label":"Dorëzimi u bllokua","codex.gallery.dialogs.submitBlocked.message":"Mesazhi yt nuk u dërgua sepse projekti është i padisponueshëm.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Mesazhi nuk u dërgua dot","codex.gallery.dialogs.title":"Dialogët","codex.gallery.dropdown.filterPlaceholder":"Filtro artikujt","codex.gallery.dropdowns.actionRow":"Rreshtat e veprimeve","codex.gallery.dropdowns.actionRow.disabled":"Veprimi i çaktivizuar","codex.gallery.dropdowns.actionRow.primary":"Veprimi parësor","codex.gallery.dropdowns.actionRow.secondary":"Veprimi dytësor","codex.gallery.dropdowns.actionRow.trigger":"Shfaq veprimet","codex.gallery.dropdowns.basic":"Meny zbritëse bazë","codex.gallery.dropdowns.basic.newFile":"Skedar i ri","codex.gallery.dropdowns.basic.newFolder":"Dosje e re","codex.gallery.dropdowns.basic.openSettings":"Hap cilësimet","codex.gallery.dropdowns.basic.title":"Veprime të shpejta","codex.gallery.dropdowns.basic.trigger":"Hap menynë","codex.gallery.dropdowns.basic.upload":"Ngarko","codex.gallery.dropdowns.panel":"Sipërfaqe paneli","codex.gallery.dropdowns.panel.apply":"Zbato","codex.gallery.dropdowns.panel.body":"Rishiko diferencat dhe zbatoji në projektin tënd.","codex.gallery.dropdowns.panel.preview":"Pamja paraprake","codex.gallery.dropdowns.panel.title":"Zbato ndryshimet","codex.gallery.dropdowns.panel.trigger":"Hap panelin","codex.gallery.dropdowns.search":"Meny zbritëse e kërkueshme","codex.gallery.dropdowns.search.first":"Kanal Alfa","codex.gallery.dropdowns.search.second":"Degë Beta","codex.gallery.dropdowns.search.third":"Version kandidat","codex.gallery.dropdowns.search.trigger":"Filtro artikujt","codex.gallery.dropdowns.submenu":"Meny zbritëse me nënmeny","codex.gallery.dropdowns.submenu.optionA":"Projekti alfa","codex.gallery.dropdowns.submenu.optionB":"Projekti beta","codex.gallery.dropdowns.submenu.optionC":"Projekti gama","codex.gallery.dropdowns.submenu.primary":"Cakto pronarin","codex.gallery.dropdowns.submenu.secondary":"Zhvendose te","codex.gallery.dropdowns.submenu.tertiary":"Arkivo","codex.gallery.dropdowns.submenu.trigger":"Zgjidh veprimin","codex.gallery.dropdowns.title":"Menytë zbritëse","codex.gallery.inbox.automations.close":"Mbyll","codex.gallery.inbox.automations.popover.cardTitle":"Menaxho automatizimet","codex.gallery.inbox.automations.popover.dialogTitle":"Menaxho automatizimet","codex.header.settingsTooltip":"Cilësimet","codex.hunk.patch.error":"Nuk u vendos në fazën përgatitore","codex.hunk.patch.missing":"E pamundur të ndërtohej riparimi për këtë bllok ndryshimesh","codex.hunk.patch.partialSuccess":"Sukses i pjesshëm","codex.hunk.patch.revertError":"Nuk u hoq nga faza përgatitore","codex.hunk.patch.revertSuccess":"U hoq me sukses nga faza përgatitore","codex.hunk.patch.success":"U vendos me sukses në fazën përgatitore","codex.legal.autonomy.details":"Për më shumë detaje, shiko {link}","codex.legal.autonomy.details.link":"Dokumentet e Codex-it","codex.legal.autonomy.title":"Vendos se sa shumë pavarësi dëshiron të japësh","codex.legal.backButton":"Prapa","codex.legal.cloud.taskOne.meta":"openai/agi · 12 tetor","codex.legal.cloud.taskOne.title":"Shpjegoja depon një projektuesi të ri","codex.legal.cloud.taskThree.meta":"openai/codex · 8 tetor","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Krijo një temë me modalitet të errët","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 tetor","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ndreq një defekt integrimi","codex.legal.continue.apikey":"Vazhdo","codex.legal.continueButton":"Para","codex.legal.copilot.details":"Përdor planin tënd Copilot për të gjitha modelet e thirrjeve, faturimin dhe kufijtë e tarifave. Përdorimi i shtesës Codex u nënshtrohet {oaiTos} dhe {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Kushtet e shërbimit të GitHub-it","codex.legal.copilot.oaiTosLink":"Kushtet e shërbimit të OpenAI Codex-it","codex.legal.copilot.title":"Mundësuar nga GitHub Copilot","codex.legal.mistakes.review":"Rishiko kodin që shkruan dhe komandat që ekzekuton ai","codex.legal.mistakes.title":"Codex-i mund të bëjë gabime","codex.legal.powered.details":"Përdor kufijtë e e përdorimit të planit tënd dhe {link}","codex.legal.powered.details.link":"preferencat e të dhënave të trajnimit","codex.legal.powered.title":"Mundësuar nga llogaria jote në ChatGPT","codex.legal.step.cloud.subtitle":"Dërgoji detyrat në Codex që të ekzekutohen në sfond në mënyrë që të qëndrosh i përqendruar dhe të lëvizësh më shpejt.","codex.legal.step.cloud.title":"Dorëzoje te Codex-i në renë kompjuterike","codex.legal.step.intro.subtitle":"Codex-i navigon, modifikon, zbaton komanda dhe ekzekuton teste direkt në arkivin tënd. Mundësuar nga llogaria jote në ChatGPT.","codex.legal.step.intro.title":"Codex në IDE-në tënde","codex.legal.step.todo.subtitle":"Shkruaj një koment TODO dhe konvertoje në një detyrë Codex-i me një klikim të vetëm.","codex.legal.step.todo.title":"Ktheji detyrat TODO në detyra Codex-i","codex.legal.todo.heading":"// TODO: zbato skemën","codex.localConversation.closeImagePreview":"Mbyll pamjen paraprake të imazhit","codex.localConversation.userImageAttachment":"Bashkëngjitje e përdoruesit","codex.localTaskRow.archiveTask":"Arkivo bashkëbisedimin","codex.localTaskRow.awaitingApproval":"Duke pritur miratimin","codex.localTaskRow.awaitingResponse":"Duke pritur përgjigjen","codex.localTaskRow.confirmArchiveTask":"Konfirmo","codex.loggedOut.apiKeyPrompt.cancel":"Anulo","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Merr çelësin API","codex.loggedOut.apiKeyPrompt.inputLabel":"Vendos çelësin tënd API të OpenAI-t","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Detyrat e resë kompjuterike janë çaktivizuar me çelësin API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Detyrat e resë kompjuterike janë çaktivizuar me Copilot-in dhe çelësin API","codex.loggedOut.signIn":"Hyr me ChatGPT","codex.loggedOut.signIn.cancel":"Anulo hyrjen","codex.loggedOut.signInWithCopilot":"Hyr me GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Përdor çelësin API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP mjeti {tool}","codex.mcpTool.collapsedLabel.verb.called":"U thirr","codex.mcpTool.collapsedLabel.verb.calling":"Duke thirrur","codex.mcpTool.embeddedResource.contentLabel":"Përmbajtja","codex.mcpTool.embeddedResource.mimeTypeLabel":"Lloji i MIME-s","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Mjeti nuk ktheu përmbajtje","codex.mcpTool.rawPayloadHeading":"Ngarkim i papërpunuar i thirrjes së mjetit {server}.{tool}","codex.menu.recent":"Të fundit","codex.menu.seeAllHistory":"Shiko gjithë historikun","codex.modelCapacityBanner.headline.noReset":"{modelName} është në kapacitet të plotë për momentin. Provo përsëri më vonë ose nis një bisedë të re me një model tjetër.","codex.modelCapacityBanner.headline.withReset":"{modelName} është në kapacitet të plotë për momentin. Provo përsëri pas {resetDate} ose nis një bisedë të re me një model tjetër.","codex.modelCapacityBanner.title":"Model i përzgjedhur është në kapacitet të plotë","codex.patch.change.contentsDeleted":"Përmbajtjet u fshinë","codex.patch.change.created":"U krijua","codex.patch.change.created-file":"Skedar i krijuar","codex.patch.change.creating":"Duke u krijuar","codex.patch.change.deleted":"U fshi","codex.patch.change.deleted-file":"Skedar i fshirë","codex.patch.change.deleting":"Duke u fshirë","codex.patch.change.edited":"U modifikua","codex.patch.change.edited-file":"Skedar i modifikuar","codex.patch.change.editing":"Duke u modifikuar","codex.patch.change.noChanges":"Asnjë ndryshim","codex.patch.change.rejected-add":"U refuzua","codex.patch.change.rejected-delete":"U refuzua","codex.patch.change.rejected-edit":"U refuzua","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} nga {total} detyra të përfunduara","codex.plan.todoListCreated":"Lista e gjërave për t’u bërë u krijua me{total} detyra","codex.profileDropdown.apiKeyAuth":"Ka hyrë me çelësin API","codex.profileDropdown.codexSettings":"Cilësimet e Codex-it","codex.profileDropdown.copilotAuth":"Ka hyrë me Copilot","codex.profileDropdown.defaultAccountTitle":"Llogaria e parazgjedhur","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter për të dërguar kërkesa të gjata","codex.profileDropdown.enterBehaviorError":"Përditësimi i cilësimit dështoi","codex.profileDropdown.getPlus":"Përmirëso për kufij më të lartë","codex.profileDropdown.keyboardShortcuts":"Shkurtoret e tastierës","codex.profileDropdown.language":"Gjuha","codex.profileDropdown.languageDefault":"Dikto automatikisht","codex.profileDropdown.languageSearchPlaceholder":"Kërko gjuhët","codex.profileDropdown.languageUpdateError":"Gjuha nuk u përditësua","codex.profileDropdown.logOut":"Dil","codex.profileDropdown.mcp":"Cilësimet e MCP-së","codex.profileDropdown.openConfigToml":"Hap config.toml","codex.profileDropdown.openConfigToml.wsl":"Hap mjedisin config.toml in WSL","codex.profileDropdown.openExtensionSettings":"Hap cilësimet","codex.profileDropdown.openMcpSettings":"Hap cilësimet e MCP-së","codex.profileDropdown.openOnStartup":"Hap në nisje","codex.profileDropdown.openOnStartupError":"Përditësimi i cilësimit dështoi","codex.profileDropdown.openSkillsSettings":"Hap cilësimet e aftësive","codex.profileDropdown.personalAccountTitle":"Llogari personale","codex.profileDropdown.queueFollowUps":"Kërkesat vijuese në radhë","codex.profileDropdown.queueFollowUpsError":"Përditësimi i cilësimit dështoi","codex.profileDropdown.readDocs":"Lexo dokumentet","codex.profileDropdown.readSkillsDocs":"Lexo dokumentet","codex.profileDropdown.runInWsl":"Ekzekuto në WSL","codex.profileDropdown.runInWslError":"Përditësimi i cilësimit dështoi","codex.profileDropdown.runInWslTooltip":"Ekzekuton Codex-in brenda WSL-së. Rekomandohet për të përmirësuar sigurinë e mjedisit të testimit dhe për performancë më të mirë.","codex.profileDropdown.settings":"Cilësimet e IDE-së","codex.profileDropdown.settingsPage":"Cilësimet","codex.profileDropdown.signInWithOpenAI":"Hyr me ChatGPT","codex.profileDropdown.skills":"Cilësimet e aftësive","codex.profileDropdown.switchToCopilotAccount":"Përdor llogarinë Copilot","codex.profileDropdown.switchToOpenAIAccount":"Përdor llogarinë OpenAI","codex.profileDropdown.todoCodelens":"Ndreq komentet TODO","codex.profileDropdown.todoCodelensError":"Përditësimi i cilësimit dështoi","codex.profileDropdown.windowsDocumentation":"Dokumentacioni i Windows-it","codex.profileFooter.signedInFallback":"Cilësimet","codex.profileFooter.upgrade":"Përmirëso","codex.recentTasksMenu.clearSearch":"Pastro kërkimin","codex.recentTasksMenu.cloud":"Detyrat e resë kompjuterike","codex.recentTasksMenu.count":"{count, plural, =0 {Nuk ka detyra në proces} one {# detyrë në proces} other {# detyra në proces}}","codex.recentTasksMenu.empty":"Nuk ka ende bashkëbisedime","codex.recentTasksMenu.errorCloud":"Ngarkimi i detyrave dështoi.","codex.recentTasksMenu.errorCloud.inline":"Ngarkimi i detyrave të resë kompjuterike dështoi.","codex.recentTasksMenu.filterAll":"Të gjitha","codex.recentTasksMenu.filterCloudTasks":"Filtro detyrat e resë kompjuterike","codex.recentTasksMenu.filterTooltip":"Filtro detyrat sipas mjedisit","codex.recentTasksMenu.local":"Detyrat lokale","codex.recentTasksMenu.recent":"Të gjitha detyrat","codex.recentTasksMenu.search":"Kërko detyrat e fundit","codex.recentTasksMenu.searchEmpty":"Asnjë rezultat","codex.recentTasksMenu.tooltip":"Historiku i detyrave","codex.recentTasksMenu.trigger":"Detyrat e fundit. {count, plural, one {# në proces} other {# në proces}}","codex.remoteConversation.applyDiff.applyCta":"Zbato ndryshimet","codex.remoteConversation.applyDiff.dropdownTitle":"Zbatoji ndryshimet në një degë lokale","codex.remoteConversation.applyDiff.revertCta":"Zhbëj ndryshimet","codex.remoteConversation.closeImagePreview":"Mbyll pamjen paraprake të imazhit","codex.remoteConversation.codexCloudTask":"Po shikon një detyrë <u>Codex-i në renë kompjuterike</u>","codex.remoteConversation.errorWithMessage":"Gabim: {message}","codex.remoteConversation.loadingImage":"Duke ngarkuar imazhin","codex.remoteConversation.openInWeb":"Hape në ueb","codex.remoteConversation.streaming":"Duke nisur","codex.remoteConversation.turnFailed":"Ndodhi një gabim gjatë kësaj detyre","codex.remoteConversation.turnTab.loading":"Përpjekja {number}","codex.remoteConversation.turnTab.title":"Përpjekja {number}","codex.remoteConversation.userImageAttachment":"Bashkëngjitje e përdoruesit","codex.remoteConversation.viewPreviousTurns":"Hape në ueb","codex.remoteConversation.viewPreviousTurns.buttonText":"Hap","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Hape në ueb","codex.review.copyGitApplyCommand":'Kopjo komandën "git-apply"',"codex.review.copyGitApplyCommand.toast":'Komanda "git-apply" u kopjua në kujtesën e fragmenteve',"codex.review.diffTooLarge.description":"Kjo diferencë është shumë e madhe për t'u shfaqur te rishikimi.","codex.review.diffTooLarge.title":"Diferenca është shumë e madhe për t'u shfaqur","codex.review.expandOrCollapseDiffButton.collapse":"Palosi të gjitha diferencat","codex.review.expandOrCollapseDiffButton.expand":"Zgjeroji të gjitha diferencat","codex.review.expandOrCollapseDiffMenu.collapse":"Palosi të gjitha diferencat","codex.review.expandOrCollapseDiffMenu.expand":"Zgjeroji të gjitha diferencat","codex.review.fileSearch.clear":"Pastro filtrin e skedarit","codex.review.fileSearch.empty":"Nuk ka skedarë që përputhen me filtrin aktual.","codex.review.fileSearch.label":"Filtro skedarët","codex.review.fileSearch.placeholder":"Filtro skedarët…","codex.review.filesChanged":"{num, plural, =0 {Asnjë skedar i ndryshuar} one {# skedar i ndryshuar} other {# skedarë të ndryshuar}}","codex.review.find.loadMore":"Ngarko më shumë përputhje","codex.review.fullReview.hideFileTree":"Fshih pemën e skedarit","codex.review.fullReview.showFileTree":"Shfaq pemën e skedarit","codex.review.header.moreOptions":"Opsionet e rishikimit","codex.review.largeDiff.banner":"Janë zbuluar diferenca të mëdha — duke shfaqur skedarët një nga një.","codex.review.loadFullFiles.disable":"Mos ngarko skedarë të plotë","codex.review.loadFullFiles.enable":"Ngarko skedarë të plotë","codex.review.noDiff":"Ndryshimet e skedarit do të shfaqen këtu","codex.review.noDiff.gitInit.createRepository":"Krijo një depo git","codex.review.noDiff.gitInit.creating":"Duke krijuar...","codex.review.noDiff.gitInit.error":"Nisja e Git-it dështoi: {message}","codex.review.noDiff.gitInit.success":"Depoja Git u krijua","codex.review.noDiff.gitRepoRequired.description":"Gjurmo dhe zhbëj ndryshimet në këtë projekt","codex.review.noDiff.gitRepoRequired.title":"Krijo depo Git","codex.review.noDiff.orNoLongerAvailable":"ose diferencat e fundit nuk janë më të disponueshme","codex.review.noDiff.reverted":"Ndërveprimi i fundit është zhbërë","codex.review.noDiff.revertedOrCommitted":"Ndërveprimi i fundit është zhbërë ose është ruajtur","codex.review.refreshGitQueries":"Rifresko","codex.review.revert.file.error":"Nuk u zhbë {path}","codex.review.revert.file.partialSuccess":"U zhbë pjesërisht {path}","codex.review.revert.file.success":"U zhbë {path}","codex.review.revert.hunk.error":"Blloku {hunkNumber} i ndryshimeve në {path} nuk u zhbë","codex.review.revert.hunk.partialSuccess":"Blloku {hunkNumber} i ndryshimeve në {path} u zhbë pjesërisht","codex.review.revert.hunk.success":"Blloku {hunkNumber} i ndryshimeve në {path} u zhbë","codex.review.revert.section.error":"Seksioni nuk u zhbë","codex.review.revert.section.partialSuccess":"Seksioni u zhbë pjesërisht","codex.review.revert.section.success":"Seksioni u zhbë","codex.review.revertDialog.cancel":"Anulo","codex.review.revertDialog.confirm":"Konfirmo","codex.review.revertDialog.message":"Ky veprim i heq të gjitha këto ndryshime.","codex.review.revertDialog.skip":"Mos pyet sërish","codex.review.revertDialog.title":"Dëshiron të zhbësh ndryshimet?","codex.review.richPreview.disable":"Çaktivizo pamjen paraprake të detajuar","codex.review.richPreview.enable":"Aktivizo pamjen paraprake të detajuar","codex.review.source.cloud":"Ndryshimet e resë kompjuterike","codex.review.source.local.all":"Të gjitha ndryshimet e degës","codex.review.source.local.lastTurn":"Ndryshimet e versionit të fundit","codex.review.source.local.uncommitted":"Ndryshimet e paruajtura","codex.review.source.worktree":"Ndryshimet e paruajtura të pemës së punës","codex.review.stageFilter.empty.staged.description":"Prano modifikimet për t'i vendosur në fazën përgatitore","codex.review.stageFilter.empty.staged.title":"Nuk ka ndryshime të vendosura në fazën përgatitore","codex.review.stageFilter.empty.unstaged.description":"Ndryshimet e kodit do të shfaqen këtu","codex.review.stageFilter.empty.unstaged.title":"Nuk ka ndryshime të pavendosura në fazën përgatitore","codex.review.stageFilter.staged":"Në fazën përgatitore","codex.review.stageFilter.staged.count":"Në fazën përgatitore· {count}","codex.review.stageFilter.unstaged":"Të pavendosura në fazën përgatitore","codex.review.stageFilter.unstaged.count":"Të pavendosura në fazën përgatitore · {count}","codex.review.switchToSplit":"Kalo te diferencat e ndara","codex.review.switchToUnified":"Kalo te diferencat e unifikuara","codex.review.toggleDiffView":"Ndrysho pamjen e diferencave","codex.review.wordDiffs.disable":"Çaktivizo diferencat sipas fjalëve","codex.review.wordDiffs.enable":"Aktivizo diferencat sipas fjalëve","codex.review.wrap.disable":"Çaktivizo thyerjen e tekstit","codex.review.wrap.enable":"Aktivizo thyerjen e tekstit","codex.section.patch.missing":"E pamundur të ndërtohej riparimi për këtë seksion.","codex.shell.collapse":"Palos shellin","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Përmbajtjet e shellit u kopjuan","codex.shell.copy.copyTooltip":"Kopjo përmbajtjet e shellit","codex.shell.copyCommand":"Kopjo komandën","codex.shell.copyOutput":"Kopjo rezultatin","codex.shell.cwdLabel":"direktoria aktuale","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Zgjero shellin","codex.shell.name":"Shelli","codex.shell.noOutput":"Nuk ka rezultat","codex.signInFailed.message":"Hyrja dështoi: {rawMessage}","codex.stories.toast.show":"Shfaq banderolën","codex.stories.tooltip.basic":"Kjo është një dritare informimi","codex.stories.tooltip.hoverMe":"Mbaj kursorin sipër","codex.stories.tooltip.largerOffset":"Kjo dritare informimi ka një distancë më të madhe","codex.stories.tooltip.offsetButton":"Distancë më e madhe","codex.stories.tooltip.shortcutButton":"Me shkurtore","codex.stories.tooltip.withShortcut":"Ndrysho terminalin","codex.taskRow.title":"Bashkëbisedim i ri","codex.taskRowLayout.confirm":"Konfirmo","codex.threadFindBar.chatFilter":"Kërko bisedën","codex.threadFindBar.close":"Mbyll gjetjen","codex.threadFindBar.diffFilter":"Kërko diferencat","codex.threadFindBar.label":"Gjej në bashkëbisedim","codex.threadFindBar.nextResult":"Rezultati i radhës","codex.threadFindBar.noResults":"0 rezultate","codex.threadFindBar.placeholder":"Kërko bashkëbisedimin…","codex.threadFindBar.placeholder.extension":"Kërko bashkëbisedimin…","codex.threadFindBar.placeholder.review":"Kërko diferencën…","codex.threadFindBar.placeholder.review.extension":"Kërko diferencën…","codex.threadFindBar.previousResult":"Rezultati i mëparshëm","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# skedar i ndryshuar} other {# skedarë të ndryshuar}}","codex.unifiedDiff.inlineLargeFile":"Shumë i madh për t'u paraqitur brenda rreshtit","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Zhbëj","codex.unifiedDiff.revertPatchError":"Ndryshimet nuk u zhbënë","codex.unifiedDiff.revertPatchSuccess":"Ndryshimet u zhbënë","codex.unifiedDiff.reviewChangesSuffix":"ndryshimet","codex.unifiedDiff.reviewShort":"Rishiko","codex.unifiedDiff.viewDiffTooltip":"Rishiko","codex.upsellBanner.business.headline":"Për të pasur më shumë qasje tani, dërgo një kërkesë tek administratori yt ose prit deri më {resetDate}.","codex.upsellBanner.cbp.headline":"Për të marrë më shumë qasje tani, dërgo një kërkesë tek administratori yt.","codex.upsellBanner.cta.addCredits":"Shto kredite","codex.upsellBanner.cta.upgradeAccount":"Përmirëso","codex.upsellBanner.cta.viewUsage":"Shih përdorimin","codex.upsellBanner.free.trialHeadline":"Kufiri yt i përdorimit do të rivendoset më {resetDate}. Që të vazhdosh të përdorësh Codex-in dhe të kesh qasje në GPT-5.3-Codex fillo provën tënde falas të Plus-it sot.","codex.upsellBanner.freeOrGo.headline":"Kufiri yt i përdorimit rivendoset më {resetDate}. Që të vazhdosh të përdorësh Codex-in, përmirëso në Plus sot.","codex.upsellBanner.general.headline":"Kufiri yt i përdorimit rivendoset më {resetDate}.","codex.upsellBanner.general.title":"Të kanë mbaruar mesazhet nga Codex-i","codex.upsellBanner.go.trialHeadline":"Kufiri yt i përdorimit do të rivendoset më {resetDate}. Që të vazhdosh të përdorësh Codex-in, fillo provën tënde falas të Plus-it sot.","codex.upsellBanner.plus.headline":"Kufiri yt i përdorimit rivendoset më {resetDate}. Që të vazhdosh të përdorësh Codex-in, shto kredite ose përmirëso në Pro sot.","codex.upsellBanner.pro.headline":"Kufiri yt i përdorimit rivendoset më {resetDate}. Shto kredite që të vazhdosh të përdorësh Codex-in tani.","codex.userMessage.autoResolveSync":"Zgjidh konfliktet automatikisht","codex.userMessage.commentCount":"{count, plural, one {# koment} other {# komente}}","codex.userMessage.copiedAriaLabel":"U kopjua","codex.userMessage.copiedTooltip":"U kopjua","codex.userMessage.copyAriaLabel":"Kopjo mesazhin","codex.userMessage.copyTooltip":"Kopjo","codex.userMessage.implementPlan":"Zbato planin","codex.userMessage.noContent":"(Nuk ka përmbajtje)","codex.userMessage.priorConversation":"I referohet bisedës së mëparshme","codex.userMessage.reviewMode":"Modaliteti i rishikimit","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"për {query}","codex.webSearch.summary.verb.completed":"Kërkoi uebin","codex.webSearch.summary.verb.inProgress":"Duke kërkuar uebin","codex.windowsInstallWslBanner.dismiss":"Hiq","codex.windowsInstallWslBanner.installWslCta":"Aktivizo mjedisin e testimit","codex.windowsInstallWslBanner.learnMore":"Mëso më shumë","codex.windowsSandboxBanner.content":"Modaliteti i agjentit përdor një mjedis testimi eksperimental në Windows për të kufizuar qasjen në sistemin e skedarëve dhe në rrjet. {sandboxLink}","codex.windowsSandboxBanner.title":"Aktivizo mjedisin e testimit për modalitetin e agjentit","codex.windowsSubDropdown.windowsSandbox":"Mjedis testimi në Windows","codex.windowsSubDropdown.windowsSettings":"Cilësimet e Windows-it","codexUpgradeModal.body":"Modeli ynë më i fundit dhe më i avancuar i kodimit me agjentë — më i zgjuar, më i shpejtë dhe më i aftë në punë të përgjithshme teknike. {link}","codexUpgradeModal.close":"Mbyll","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Mëso më shumë","codexUpgradeModal.title":"Prezantojmë GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Provo GPT-5.3-Codex-in tani","codexUpgradeModal.useExistingModel":"Vazhdo me modelin aktual","commentAttachments.numComments":"{count, plural, one {# koment} other {# komente}}","commentAttachments.removeAriaLabel":"Hiq bashkëngjitjen e komenteve","common.close":"Mbyll","composer.addContext.openFilePickerError":"E pamundur të hapet përzgjedhësi i skedarëve","composer.addContextDropdown.ariaLabel":"Shto skedarë e më shumë","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Shto skedarë e më shumë","composer.addPhotosAndFiles":"Shto fotografi dhe skedarë","composer.atMentionList.emptyQuery":"Shkruaj për të kërkuar skedarë","composer.atMentionList.loading":"Duke kërkuar...","composer.atMentionList.noResults":"Nuk ka rezultate","composer.attemptsSelector.option":"{count, plural, one {# version} other {# versione}}","composer.attemptsSelector.tooltip":"Numri i përpjekjeve paralele që të bëjë Codex-i","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Ndalo","composer.cloudFollowUp.cloud":"Reja kompjuterike","composer.cloudFollowUp.local":"Lokalisht","composer.cloudFollowUp.whereRun":"Ku duhet të ekzekutohet ky veprim pasues?","composer.cloudTaskCreationError":"Gabim gjatë krijimit të detyrës në renë kompjuterike","composer.cloudTaskError":"Gabim gjatë krijimit të detyrës","composer.contextWindow.autoCompactionTooltipLine1":"Codex-i e përmbledh automatikisht kontekstin e tij","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Dritarja e kontekstit:","composer.contextWindowUsageStatusFull":"{usage}% mbushur","composer.contextWindowUsageStatusLeft":"{usage}% përdorur ({remaining}% mbetur)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokenë të përdorur","composer.customCliTooltip":"Duke përdorur një CLI të personalizuar të ekzekutueshme","composer.dictation.aria":"Dikto","composer.dictation.cancel.aria":"Ndalo diktimin","composer.dictation.cancel.tooltip":"Ndalo diktimin","composer.dictation.startError":"Diktimi nuk mund të fillojë","composer.dictation.submit.aria":"Transkripto dhe dërgo","composer.dictation.submit.tooltip":"Transkripto dhe dërgo","composer.dictation.tooltip":"Mbaj për të diktuar","composer.dictation.transcribeError":"Audioja nuk mund të transkriptohet","composer.dictation.unsupported":"Diktimi nuk është i disponueshëm në këtë pajisje","composer.dropOverlay.holdShift":"Mbaj {key} për të lëshuar","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Krijo të ri","composer.environmentSelector.error":"Gabim gjatë ngarkimit të mjediseve","composer.environmentSelector.goBack":"Kthehu te kompozuesi","composer.environmentSelector.title":"Përzgjidh mjedisin","composer.environmentSelector.tooltip":"Përzgjidh një mjedis të resë kompjuterike","composer.feedbackSlashCommand.title":"Përshtypje","composer.filePicker.selectFile":"Përzgjidh një skedar","composer.filePicker.selectFiles":"Përzgjidh skedarë","composer.followerTooltip":"Për të vazhduar, kthehu në dritaren ku nisi kjo bisedë.","composer.footer.branchSwitch.checkoutError":"Ndryshimi i degës dështoi: {message}","composer.footer.branchSwitch.createAndCheckout":"Krijo dhe kalo në degën e re...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Ruaj ndryshimet për të krijuar dhe kaluar në një degë të re","composer.footer.branchSwitch.createBranchError":"Dega nuk u krijua: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Emri i degës","composer.footer.branchSwitch.createDialog.branchExistsError":"Dega ekziston tashmë.","composer.footer.branchSwitch.createDialog.close":"Mbyll","composer.footer.branchSwitch.createDialog.createAndCheckout":"Krijo dhe kalo","composer.footer.branchSwitch.createDialog.placeholder":"degë e re","composer.footer.branchSwitch.createDialog.title":"Krijo dhe kalo në degë","composer.footer.branchSwitch.createDialog.trailingSlashError":"Emri i degës nuk mund të përfundojë me “/”.","composer.footer.branchSwitch.tooltip":"Ndrysho degën","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Ruaj ndryshimet në {fileCount, plural, one {# skedar} other {# skedarë}} për të kaluar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Ruaj","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"ndryshimet në {fileCount, plural, one {# skedar} other {# skedarë}} për të kaluar {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Anulo","composer.footer.branchSwitch.uncommittedDialog.commit":"Ruaj dhe ndërro degë...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Ndryshimet e tua në skedarët e mëposhtëm do të mbishkruhen nga kalimi:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Ruaj ndryshimet e tua për të vazhduar","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"dega e përzgjedhur","composer.footer.branchSwitch.uncommittedDialog.title":"Ruaj ndryshimet për të ndërruar degën","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Të paruajtura: {fileCount, plural, one {# skedar} other {# skedarë}}","composer.forkSlashCommand.description":"Bigëzoje këtë bashkëbisedim në mjedisin lokal ose në një pemë pune të re","composer.forkSlashCommand.option.local.description":"Vazhdo në një bashkëbisedim lokal të ri","composer.forkSlashCommand.option.local.title":"Bigëzoje në mjedisin lokal","composer.forkSlashCommand.option.worktree.description":"Vazhdo në një pemë pune të re","composer.forkSlashCommand.option.worktree.title":"Bigëzoje në një pemë pune të re","composer.forkSlashCommand.title":"Bigëzim","composer.ideContextIndicator":"Konteksti i IDE-së","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Përfshi kontekstin nga IDE-ja","composer.ideContextIndicator.tooltipToggle":"për të ndryshuar","composer.ideContextSlashCommand.disableDescription":"Çaktivizo kontekstin e IDE-së","composer.ideContextSlashCommand.enableDescription":"Përfshi përzgjedhjen aktuale, skedarët e hapur dhe kontekstin tjetër nga IDE-ja jote","composer.ideContextSlashCommand.title":"Konteksti i IDE-së","composer.imageInputsUnsupported":"Ky model nuk mbështet hyrjet e imazhit. Provo një model tjetër.","composer.imageUploadFailed":"Imazhi nuk u ngarkua","composer.includeIdeContextDropdown":"Përfshi kontekstin e IDE-së","composer.includeIdeContextDropdown.ariaLabel":"Përfshi kontekstin e IDE-së","composer.localCwdDropdown.addWorkspaceRoot":"Shto një projekt të ri","composer.localCwdDropdown.noActiveRoot":"Përzgjidh projektin tënd","composer.localCwdDropdown.noResults":"Nuk u gjet asnjë dosje","composer.localCwdDropdown.title":"Përzgjidh projektin tënd","composer.localTaskError":"Gabim gjatë fillimit të bisedës","composer.mcpSlashCommand.description":"Shfaq statusin e serverit MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"I pavërtetuar","composer.mcpStatus.authOauth":"I vërtetuar (OAuth)","composer.mcpStatus.authToken":"I vërtetuar (çelës API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Mbyll","composer.mcpStatus.disabled":"Çaktivizuar","composer.mcpStatus.emptyLabel":"Serverët:","composer.mcpStatus.emptyValue":"Asnjë server MCP i konfiguruar","composer.mcpStatus.enabled":"Aktivizuar","composer.mcpStatus.errorLabel":"Statusi:","composer.mcpStatus.errorValue":"Statusi MCP nuk ngarkohet","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agjenti","composer.mode.agentMode.auto.dropdownLabel":"Agjenti","composer.mode.agentMode.auto.optionLabel":"Agjenti","composer.mode.agentMode.changePermission":"Ndërro modalitetin","composer.mode.agentMode.custom":"I personalizuar","composer.mode.agentMode.custom.dropdownLabel":"I personalizuar","composer.mode.agentMode.custom.option":"I personalizuar (config.toml)","composer.mode.agentMode.custom.optionLabel":"I personalizuar (config.toml)","composer.mode.agentMode.customInfo.cancel":"Anulo","composer.mode.agentMode.customInfo.cli":"Mund t’i rregullosh cilësimet nga CLI-ja ose duke modifikuar drejtpërdrejt skedarin.","composer.mode.agentMode.customInfo.confirm":"Përdor modalitetin e personalizuar","composer.mode.agentMode.customInfo.description":"Modaliteti i personalizuar zbaton politikat e miratimit dhe mjedisit të testimit të përcaktuara në <link>config.toml</link> skedar.","composer.mode.agentMode.customInfo.docs":"Mëso më shumë për konfigurimin e politikave të miratimit dhe mjedisit të testimit në <link>dokumentet e mjedisit të ekzekutimit</link>.","composer.mode.agentMode.customInfo.refresh":"Çdo ndryshim hyn në fuqi herën e ardhshme që ekzekutohet agjenti.","composer.mode.agentMode.customInfo.title":"Si funksionon modaliteti i personalizuar","composer.mode.agentMode.fullAccess":"Agjenti (qasje e plotë)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agjenti (qasje e plotë)","composer.mode.agentMode.fullAccess.optionLabel":"Agjenti (qasje e plotë)","composer.mode.agentMode.fullAccessConfirm.caution":"Bëj kujdes kur jep qasje të plotë. Kjo rrit në mënyrë të konsiderueshme rrezikun e humbjes së të dhënave, rrjedhjes së informacioneve ose sjelljeve të papritura.","composer.mode.agentMode.fullAccessConfirm.confirm":"Po, gjithsesi vazhdo","composer.mode.agentMode.fullAccessConfirm.description":"Kur Codex-i ekzekutohet me qasje të plotë, mund të modifikojë çdo skedar në kompjuterin tënd dhe të ekzekutojë komanda me rrjetin, pa miratimin tënd.","composer.mode.agentMode.fullAccessConfirm.goBack":"Anulo","composer.mode.agentMode.fullAccessConfirm.title":"Të aktivizohet qasja e plotë?","composer.mode.agentMode.readOnly":"Bisedë","composer.mode.agentMode.readOnly.dropdownLabel":"Bisedë","composer.mode.agentMode.readOnly.optionLabel":"Bisedë","composer.mode.agentMode.tooltip":"Ndërro modalitetin","composer.mode.agentMode.tooltip.auto":"Lexo e modifiko skedarët dhe ekzekuto komandat.","composer.mode.agentMode.tooltip.custom":"Përdor politikat e fundit të miratimit dhe mjedisit të testimit të përcaktuara në config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex-i mund të modifikojë skedarë jashtë këtij projekti dhe të ekzekutojë komanda me qasje në rrjet. Trego kujdes gjatë përdorimit.","composer.mode.agentMode.tooltip.readOnly":"Kërkon miratim për të modifikuar skedarë dhe për të ekzekutuar komanda.","composer.mode.cloud.tooltip":"Puno në një mjedis të resë kompjuterike","composer.mode.contactAdmin":"Për të pasur më shumë qasje, kontakto administratorin tënd","composer.mode.local":"Lokalisht","composer.mode.local.learnMore":"Mëso më shumë","composer.mode.local.model.custom":"I personalizuar","composer.mode.local.model.loadingModel":"Duke ngarkuar modelin","composer.mode.local.model.selecrReasoningEffort":"Zgjidh arsyetimin","composer.mode.local.model.selectModel":"Zgjidh modelin","composer.mode.local.model.tooltip":"Zgjidh modelin","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"I lartë","composer.mode.local.reasoning.low.label":"I ulët","composer.mode.local.reasoning.medium.label":"I mesëm","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Asnjë","composer.mode.local.reasoning.xhigh.label":"Shumë i lartë","composer.mode.localRemoteWhereRun":"Zgjidh ku të ekzekutohet detyra","composer.mode.newTask.header":"Vazhdo te","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"Kufijtë e mbetur të përdorimit","composer.mode.rateLimit.hour":"{hours}o","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"Kufiri i {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {kufiri javor} other {kufiri {weeks}-javor}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Javor} other {{weeks}-javor}}","composer.mode.remote.connectToCloud":"Lidh Codex-in në ueb","composer.mode.remote.connectToCloudDisabledTooltip":"Konfiguro një mjedis nëpërmjet Codex-it në ueb për të aktivizuar dërgimin e detyrave në renë kompjuterike","composer.mode.remote.selectEnvironment":"Përzgjidh mjedisin","composer.mode.remote.sendToCloud":"Dërgo te reja kompjuterike","composer.mode.remote.setupViaWeb":"Konfiguro një mjedis nëpërmjet Codex-it në ueb","composer.mode.runInCloud":"Reja kompjuterike","composer.mode.runInCloudWithEnvironment":"Reja kompjuterike · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Puno në një mjedis në renë kompjuterike","composer.mode.segmentedToggle.local.tooltip":"Puno në projektin tënd lokal","composer.mode.segmentedToggle.worktree.tooltip":"Puno në një pemë pune paralele","composer.mode.upgradeToPlus":"Përmirëso në Plus","composer.mode.upgradeToPro":"Përmirëso në Pro","composer.mode.workLocally":"Projekt lokal","composer.mode.workLocally.currentBranchFallback":"dega jote","composer.mode.workLocally.tooltip":"Puno në {branchName}","composer.mode.worktree":"Pemë pune e re","composer.mode.worktree.submoduleWarning":"Kjo depo ka nënmodule git. Krijimi i hapësirës së punës mund të dështojë","composer.mode.worktree.tooltip":"Krijo një kopje të projektit tënd lokal për të punuar paralelisht","composer.mode.worktreeSegment":"Pemë pune","composer.modelChangeDuringConversationWarning.toast":"Ndryshimi i modeleve në mes të bisedës do të përkeqësojë performancën.","composer.newChat.heading.browser":"Çfarë duhet të kodojmë më pas?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex-i përdor lejen e përcaktuar në config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex-i ka qasje të plotë në kompjuterin tënd (rrezik i lartë)","composer.permissionsDropdown.custom.label":"I personalizuar (config.toml)","composer.permissionsDropdown.custom.optionLabel":"I personalizuar (config.toml)","composer.permissionsDropdown.default.label":"Lejet e parazgjedhura","composer.permissionsDropdown.default.optionLabel":"Lejet e parazgjedhura","composer.permissionsDropdown.default.tooltip":"Codex-i i ekzekuton automatikisht komandat në një mjedis testimi","composer.permissionsDropdown.disabled.requirements":"Lejet janë kyçur nga requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Qasja e plotë është çaktivizuar nga requirements.toml","composer.permissionsDropdown.fullAccess.label":"Qasje e plotë","composer.permissionsDropdown.fullAccess.optionLabel":"Qasje e plotë","composer.permissionsDropdown.trigger.tooltip":"Ndrysho lejet","composer.personalitySlashCommand.description.friendly":"I ngrohtë, bashkëpunues dhe i dobishëm","composer.personalitySlashCommand.description.pragmatic":"I përpiktë, i përqendruar në detyrë dhe i drejtpërdrejtë","composer.personalitySlashCommand.label.friendly":"Miqësor","composer.personalitySlashCommand.label.pragmatic":"Pragmatik","composer.personalitySlashCommand.notApplicableSuffix":"(Nuk zbatohet për modelin aktual)","composer.personalitySlashCommand.title":"Personaliteti","composer.placeholder.cloudFollowUp.directFollowUp":"Vijim i kësaj detyre në renë kompjuterike","composer.placeholder.cloudFollowUp.local":"Krijo një detyrë të re lokale që i referohet kësaj detyre në renë kompjuterike","composer.placeholder.cloudFollowUp.workingTree":"Krijo një detyrë të re në renë kompjuterike që përfshin kodin tënd aktual dhe që do t’i referohet kësaj detyre","composer.placeholder.localFollowUp.cloud":"Vijim në një detyrë të re në renë kompjuterike","composer.placeholder.localFollowUp.locally":"Pyet për ndryshimet vijuese","composer.placeholder.newTask.cloud":"Kërkoji Codex-it të bëjë gjithçka në renë kompjuterike","composer.placeholder.newTask.doAnything":"Kërkoji Codex-it të bëjë gjithçka","composer.placeholder.newTask.locally":"Pyet Codex-in për çdo gjë, @ për të shtuar skedarë, / për komandat","composer.planModeDropdown":"Modaliteti i planit","composer.planModeDropdown.ariaLabel":"Modaliteti i planit","composer.planModeIndicator":"Plani","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Krijo një plan me Codex-in","composer.planModeIndicator.tooltipToggle":"për të ndryshuar","composer.planSlashCommand.disableDescription":"Çaktivizo modalitetin e planit","composer.planSlashCommand.enableDescription":"Aktivizo modalitetin e planit","composer.planSlashCommand.title":"Modaliteti i planit","composer.priorContext.label":"Konteksti i mëparshëm","composer.priorContext.removeAriaLabel":"Hiq kontekstin e mëparshëm","composer.queuedMessage.delete":"Fshi mesazhin në radhë","composer.queuedMessage.edit":"Modifiko mesazhin","composer.queuedMessage.more":"Veprimet e mesazheve në radhë","composer.queuedMessage.sendNow":"Drejto","composer.queuedMessage.sendNowTooltip":"Dërgo tani pa e ndërprerë punën","composer.queuedMessage.turnOff":"Çaktivizo vendosjen në radhë","composer.reasoningEffort.local.reasoning.tooltip":"Zgjidh përpjekjen për arsyetim","composer.remote.branchStartingPoint":"Nga cila degë duhet të nisë kjo detyrë?","composer.remote.branchesSectionHeading":"Degët","composer.remote.currentEditsSuffix.followUp":"Krijo një detyrë të re që i referohet kësaj detyre të resë kompjuterike.","composer.remote.currentEditsSuffix.useLocal":"me ndryshimet e kodit lokal","composer.remote.directFollowUp":"Mos përdor ndryshimet lokale","composer.remote.errorLoadingBranches":"Gabim gjatë ngarkimit të degëve","composer.remote.fromBranch":"Nga {branch}","composer.remote.fromCurrentBranch":"Nga {branch} (aktuale)","composer.remote.loadingMoreBranches":"Duke ngarkuar...","composer.remote.localFileStateHeading":"Gjendja e skedarit lokal","composer.remote.localWorkingTree":"Përdor ndryshimet lokale","composer.remote.startingPoint":"Nga cili kod duhet të nisë kjo detyrë?","composer.reviewMode.branches.error":"Ngarkimi i degëve nuk u krye","composer.reviewMode.branches.retry":"Riprovo","composer.reviewMode.gitRoot.error":"Nuk u gjet rrënja e git-it","composer.reviewMode.option.baseBranch.simple":"Rishiko kundrejt një dege bazë","composer.reviewMode.option.unstaged.simple":"Rishiko ndryshimet e paruajtura","composer.reviewMode.quickReviewError":"Nisja e rishikimit të kodit dështoi.","composer.reviewMode.title":"Rishikimi i kodit","composer.sandboxButton.unlock.disabled.tooltip":"Qasja e plotë është çaktivizuar nga requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex-i mund të përdorë një mjedis testimi eksperimental në Windows për të kufizuar qasjen në sistemin e skedarëve dhe në rrjet. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Dëshiron të aktivizosh mjedisin e testimit në Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Përdor modalitetin “vetëm për lexim”","composer.searchEnvironments":"Kërko mjediset","composer.skillMentionList.app":"Aplikacioni","composer.skillMentionList.loading":"Duke ngarkuar aftësitë...","composer.skillMentionList.noResults":"Nuk u gjetën aftësi","composer.slashCommands.cloudEnvironment.title":"Mjedisi i resë kompjuterike","composer.slashCommands.dialogLabel":"Menyja e komandave me vijë të pjerrët","composer.slashCommands.dialogTitle":"Komandat me vijë të pjerrët","composer.slashCommands.disabledTooltip":"Nis një bisedë të re për të përdorur komandat me vijë të pjerrët","composer.slashCommands.inputPlaceholder":"Kërko","composer.slashCommands.noResults":"Asnjë komandë","composer.slashCommands.skillsGroup":"Aftësitë","composer.slashCommands.tooltip":"Shfleto komandat me vijë të pjerrët","composer.status.close":"Mbyll","composer.statusPlain.alertLabel":"Sinjalizimi:","composer.statusPlain.alertValue":"Ka mbetur {remaining}% në {window}","composer.statusPlain.contextLabel":"Konteksti:","composer.statusPlain.contextTotal":"{count} mijë","composer.statusPlain.contextValueMetadata":"Përdorur ({used} / {total})","composer.statusPlain.contextValueRemaining":"Ka mbetur {remaining}%","composer.statusPlain.heading":"Statusi","composer.statusPlain.modelRateLimitSectionLabel":"Kufiri i {modelName}:","composer.statusPlain.rateLimitDays":"Kufi {count}d","composer.statusPlain.rateLimitFallbackLabel":"Kufiri i përdorimit:","composer.statusPlain.rateLimitHours":"Kufiri {count}h","composer.statusPlain.rateLimitLabelBase":"Kufiri i përdorimit","composer.statusPlain.rateLimitMinutes":"Kufiri {count}m","composer.statusPlain.rateLimitPercent":"Ka mbetur {remaining}%","composer.statusPlain.rateLimitReset":"rivendoset {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"koha e rivendosjes është e padisponueshme","composer.statusPlain.rateLimitUnavailable":"I padisponueshëm","composer.statusPlain.sessionCopiedAriaLabel":"Id-ja e sesionit u kopjua","composer.statusPlain.sessionCopiedTooltip":"ID-ja u kopjua","composer.statusPlain.sessionCopyAriaLabel":"Kopjo id-në e sesionit","composer.statusPlain.sessionCopyTooltip":"Kopjo ID-në","composer.statusPlain.sessionLabel":"Sesioni:","composer.statusSlashCommand.description":"Shfaq id-në e bashkëbisedimit, përdorimin e kontekstit dhe kufijtë e përdorimit","composer.statusSlashCommand.title":"Statusi","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Mesazhi nuk u dërgua dot","composer.submit.emptyMessage":"Shkruaj një mesazh për të filluar","composer.submit.imageInputsUnsupported":"Hiq imazhet ose ndërro modelet për të dërguar këtë mesazh.","composer.submit.loadingLocalConfig":"Duke ngarkuar...","composer.submit.missingCloudConfig":"Duhet të zgjedhësh një mjedis të resë kompjuterike","composer.submit.missingCloudTurn":"Nuk mund të ndiqet kjo detyrë","composer.submit.noWorkspace":"Shto një projekt për të përdorur Codex-in","composer.submit.waitForImageUploads":"Imazhet janë duke u ngarkuar...","composer.submitButtonTooltip.send":"Dërgo","composer.submitButtonTooltip.stop":"Ndalo","composer.worktreeEnvironment.create":"Krijo mjedis lokal","composer.worktreeEnvironment.default":"Mjedisi i parazgjedhur","composer.worktreeEnvironment.error":"Gabim gjatë ngarkimit të mjediseve","composer.worktreeEnvironment.loading":"Duke ngarkuar mjediset…","composer.worktreeEnvironment.title":"Mjedisi lokal","composer.worktreeEnvironment.tooltip":"Përzgjidh një mjedis lokal","composer.worktreeSetupFailed":"Konfigurimi i pemës së punës dështoi. Kontrollo .codex/environments për një skript konfigurimi.","compoundButton.secondaryAction":"Veprimi dytësor","copyButton.copied":"U kopjua","copyButton.copiedAriaLabel":"U kopjua","copyButton.copy":"Kopjo","copyButton.copyAriaLabel":"Kopjo","copyButton.copyCode":"Kopjo kodin","diff.actionButton.revertFile":"Zhbëj skedarin","diff.actionButton.revertHunk":"Zhbëj","diff.actionButton.revertSection":"Zhbëji të gjitha","diff.actionButton.revertSectionLabel":"Zhbëji të gjitha","diff.actionButton.stageFile":"Vendos skedarin në fazën përgatitore","diff.actionButton.stageHunk":"Vendos në fazën përgatitore","diff.actionButton.stageSection":"Vendosi të gjitha në fazën përgatitore","diff.actionButton.stageSectionLabel":"Vendosi të gjitha në fazën përgatitore","diff.actionButton.unstageFile":"Hiq skedarin nga faza përgatitore","diff.actionButton.unstageHunk":"Hiq nga faza përgatitore","diff.actionButton.unstageSection":"Hiqi të gjitha nga faza përgatitore","diff.actionButton.unstageSectionLabel":"Hiqi të gjitha nga faza përgatitore","diff.fileHeader.toggle":"Aktivizo/çaktivizo diferencat e skedarit","electron.onboarding.login.apikey.cancel":"Anulo","electron.onboarding.login.apikey.continue":"Vazhdo","electron.onboarding.login.apikey.label":"Çelës API i OpenAI-t","electron.onboarding.login.apikey.open":"Vendos çelësin API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Anulo hyrjen","electron.onboarding.login.chatgpt.continue":"Vazhdo me ChatGPT-në","electron.onboarding.login.devbox":"Lidh me një SSH në distancë","electron.onboarding.login.error":"Hyrja dështoi: {rawMessage}","electron.onboarding.login.snake.start":"Luaj “Snake”","electron.onboarding.login.sshConfig.cancel":"Anulo","electron.onboarding.login.sshConfig.continue":"Vazhdo","electron.onboarding.login.sshConfig.hostnameLabel":"Emri i hostit SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Mënyra më e mirë për të krijuar me agjentët","electron.onboarding.login.title":"Mirë se erdhe në Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Vazhdo","electron.onboarding.welcome.doubleLimits.description":"Për të festuar prezantimin e aplikacionit Codex, ke 2 herë më shumë kufij përdorimi deri më 2 prill.","electron.onboarding.welcome.freego.description":"Codex-i është përfshirë falas në planin tënd deri më 2 mars – le të fillojmë të ndërtojmë së bashku.","electron.onboarding.welcome.new.title.anon":"Mirë se erdhe!","electron.onboarding.workspace.continue":"Vazhdo","electron.onboarding.workspace.empty":"Shto një projekt për të vazhduar.","electron.onboarding.workspace.listLabel":"Projektet e disponueshme","electron.onboarding.workspace.loading":"Duke ngarkuar projektet…","electron.onboarding.workspace.openFolder":"Shto një projekt","electron.onboarding.workspace.selectAll":"Përzgjidhi të gjitha","electron.onboarding.workspace.skip":"Anashkalo","electron.onboarding.workspace.skip.error":"Projekti i ri nuk u krijua: {message}","electron.onboarding.workspace.skip.error.unknown":"Gabim i panjohur","electron.onboarding.workspace.skipping":"Duke krijuar një projekt të ri…","electron.onboarding.workspace.subtitle":"Codex-i do të jetë në gjendje të modifikojë skedarët dhe të ekzekutojë komanda në dosjet e përzgjedhura.","electron.onboarding.workspace.title":"Përzgjidh një projekt","errorPage.list.checkSettings":"Provo të përditësosh cilësimet e IDE-së","errorPage.list.configToml":"Kontrollo config.toml për cilësime të pavlefshme","errorPage.list.downloadExtension":"Provo të shkarkosh një version tjetër të shtesës","errorPage.list.runInWsl":"Kontrollo cilësimet e tua për të çaktivizuar ekzekutimin në WSL nëse shikon probleme pajtueshmërie","execApprovalRequest.menu.runAlways":"Po, dhe mos pyet sërish në këtë sesion","execApprovalRequest.menu.runAlwaysWithAmendment":"Po, dhe mos pyet sërish për komandat që fillojnë me {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Po, dhe mos pyet sërish për komandat që fillojnë me","execApprovalRequest.menu.runOnce":"Po","execApprovalRequest.prompt":"A dëshiron ta ekzekutosh këtë komandë?","execApprovalRequest.reject":"Jo","execFooter.exitCode":"Dil nga kodi {code}","execFooter.exitCode.unknown":"e panjohur","execFooter.success":"Me sukses","feedback.dialog.category.badResult":"Rezultat i keq","feedback.dialog.category.bug":"Defekt","feedback.dialog.category.goodResult":"Rezultat i mirë","feedback.dialog.category.other":"Tjetër","feedback.dialog.descriptionPlaceholder":"Përshkruaj problemin këtu","feedback.dialog.dismiss":"Hiq","feedback.dialog.includeLogsLabel":"Përfshi regjistrat e sesioneve aktuale të Codex-it","feedback.dialog.submit":"Dorëzo","feedback.dialog.submitError":"Nuk mundëm të dorëzonim përshtypjen tënde. Provo përsëri pas pak.","feedback.dialog.title":"Përshtypje","feedback.dialog.uploadedMessage.existingIssue":"problem ekzistues i hapur","feedback.dialog.uploadedMessage.openIssue":"hap një problem në GitHub","feedback.dialog.uploadedMessage.withThread":"Përshtypja u ngarkua. Nëse problemi vazhdon, {openIssueLink} ose përmend id-në e bashkëbisedimit në një {existingIssueLink}:","feedback.dialog.uploadedTitle":"Përshtypja u ngarkua","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Hiq {filename}","header.back":"Prapa","header.recentChats":"Detyrat","header.recentTasks.seeAll":"Shihi të ({total})","home.header.getPlus":"Merr Plus-in","home.hero.letsBuild":"Le të krijojmë","homePage.mainContent":"Përmbajtja kryesore","imageAttachment.defaultName":"imazh","imageAttachment.preview.close":"Mbyll pamjen paraprake të imazhit","imageAttachment.removeAriaLabel":"Hiq {filename}","implementPlanRequest.option.implement":"Po, zbatoje këtë plan","implementPlanRequest.prompt":"Dëshiron ta zbatosh këtë plan?","inbox.archived.deleteError":"Ekzekutimi i arkivuar nuk mund të fshihej","inbox.archived.deleteRun":"Fshi ekzekutimin e arkivuar","inbox.archived.deleteSuccess":"Bashkëbisedimi i arkivuar u fshi. Shihe te <settingsLink>Bashkëbisedimet e arkivuara</settingsLink>.","inbox.archived.inlineLabel.auto":"Ky bashkëbisedim u arkivua automatikisht. <learnMoreLink>Mëso më shumë</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ky bashkëbisedim u arkivua.","inbox.archived.noMessageFound":"Nuk u gjetën mesazhe","inbox.automations.createError":"Automatizimi nuk u krijua","inbox.automations.deleteConfirm.cancel":"Anulo","inbox.automations.deleteConfirm.confirm":"Fshi automatizimin","inbox.automations.deleteConfirm.description":"Kjo do ta fshijë përgjithmonë automatizimin dhe do të ndalojë çdo ekzekutim të ardhshëm.","inbox.automations.deleteConfirm.title":"A dëshiron ta fshish {name}?","inbox.automations.deleteError":"Automatizimi nuk mund të fshihej","inbox.automations.editTooltip":"Modifiko automatizimin","inbox.automations.inProgress":"Në proces","inbox.automations.new":"E re","inbox.automations.newToolbar":"Automatizim i ri","inbox.automations.pauseTooltip":"Pezullo automatizimin","inbox.automations.resumeTooltip":"Vazhdo automatizimin","inbox.automations.startingNow":"Duke filluar tani","inbox.automations.startsIn":"Fillon në {startTime}","inbox.automations.status.active":"Aktiv","inbox.automations.status.paused":"Në pauzë","inbox.automations.status.runs":"{count} ekzekutime","inbox.automations.status.started":"Filloi më {date}","inbox.automations.updateError":"Automatizimi nuk u përditësua","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Të gjitha","inbox.filter.ariaLabel":"Filtro artikujt e kutisë hyrëse","inbox.filter.unread":"Të palexuara","inbox.list.archived":"Të arkivuara","inbox.list.inProgress":"Në proces","inbox.list.recent":"Të përfunduara","inbox.list.upNext":"Planifikuar","inbox.mode.automations":"Automatizimet","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Nuk është dhënë përshkrim","inbox.openThread":"Hap bashkëbisedimin","inbox.rightPanel.emptySubtitle":"Automatizo punën duke vendosur detyra të planifikuara","inbox.rightPanel.emptySubtitle.learnMore":"Automatizo punën duke konfiguruar bashkëbisedime të planifikuara. <link>Mëso më shumë</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# automatizim aktiv} other {# automatizime aktive}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Nuk ka automatizime të palexuara","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# automatizim i palexuar} other {# automatizime të palexuara}}","inbox.rightPanel.emptyTitle":"Nuk është përzgjedhur ndonjë artikull","inbox.rightPanel.noThread":"Nuk ka bashkëbisedim për këtë element","inbox.rightPanel.quickStart.header":"Fillo me një shabllon","inbox.untitled":"Artikull pa titull në kutinë hyrëse","loadingPage.documentationLink":"dokumentacioni","loadingPage.errorDescription":"Codex-i u bllokua me gabimin e mëposhtëm:","loadingPage.errorDescription.documentation":"Kliko ringarko për të rinisur shtesën e Codex-it ose vizito {documentationLink} për ndihmë shtesë.","loadingPage.errorSignal":"Disa gjëra që mund të provohen:","loadingPage.errorTitle":"Ka ndodhur një gabim","loadingPage.openConfigToml":"Hap Config.toml","loadingPage.reload":"Ringarko","localConversation.contextCompacted":"Konteksti u përmblodh automatikisht","localConversation.contextCompacting":"Duke përmbledhur automatikisht kontekstin","localConversation.forkedFromConversation":"Bigëzuar nga {threadTitle}","localConversation.merge.autoResolve.failed":"Zgjidhja automatike nuk u kërkua: {error}","localConversation.merge.autoResolve.sent":"Kërkesa për zgjidhje automatike u dërgua","localConversation.merge.autoResolveMerge.missingConversation":"Zgjidhja automatike nuk mund të kryhet pa një bisedë aktive.","localConversation.merge.autoResolveMerge.request":"Zgjidh automatikisht konfliktet e shkrirjes","localConversation.modelChanged":"Modeli u ndryshua nga {fromModel} në {toModel}.","localConversation.modelChanged.warning.line1":"Ndryshimi i modeleve në mes të bisedës do të përkeqësojë performancën.","localConversation.modelChanged.warning.line2":"Konteksti mund të përmblidhet automatikisht.","localConversation.moveThread.createBranch.label":"Krijo degë","localConversation.moveToLocal.disabled.loading":"Duke ngarkuar...","localConversation.moveToLocal.modal.continue":"Vazhdo","localConversation.moveToLocal.modal.destinationLabel":"Zhvendose te","localConversation.moveToLocal.modal.retry":"Riprovo","localConversation.moveToWorktree.modal.back":"Prapa","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Dega ekziston tashmë.","localConversation.moveToWorktree.modal.branchesError":"Ngarkimi i degëve nuk u krye","localConversation.moveToWorktree.modal.branchesLoading":"Duke ngarkuar degët…","localConversation.moveToWorktree.modal.branchesRetry":"Riprovo","localConversation.moveToWorktree.modal.continue":"Vazhdo","localConversation.moveToWorktree.modal.retry":"Riprovo","localConversation.moveToWorktree.modal.trailingSlashError":"Emri i degës nuk mund të përfundojë me “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"degë e re","localConversation.personalityChanged":"Kalove në personalitetin {personality}","localConversation.planSummary.collapse":"Palos përmbledhjen e planit","localConversation.planSummary.collapseTooltip":"Palos","localConversation.planSummary.download":"Shkarko planin","localConversation.planSummary.expand":"Zgjero përmbledhjen e planit","localConversation.planSummary.expandTooltip":"Zgjero","localConversation.planSummary.openInNewWindow":"Hap","localConversation.planSummary.openInNewWindow.tooltip":"Hape në dritare të re","localConversation.planSummary.title":"Plani","localConversation.planSummary.titleWriting":"Duke shkruar planin","localConversation.planSummary.viewPlan":"Zgjero planin","localConversation.remoteTaskCreated":"Krijuar {taskLink} në Codex-in në renë kompjuterike","localConversation.remoteTaskCreated.task":"detyrë","localConversation.scrollToBottomButton":"Lëviz në fund","localConversation.sync.buttonLabel":"Dorëzo në mjedisin lokal","localConversation.sync.buttonLabel.tooltip":"Dorëzo ndryshimet ndërmjet kësaj peme pune dhe mjedisit tënd lokal.","localConversation.sync.modal.loading.title":"Duke dorëzuar ndryshimet…","localConversation.sync.modal.noChanges":"Asnjë ndryshim","localConversation.syncSetup.branchAriaLabel":"Emri i degës","localConversation.syncSetup.branchName":"Emri i degës","localConversation.syncSetup.branchPlaceholder.existing":"Përzgjidh degën ekzistuese","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Duke ngarkuar degët…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Është kaluar tashmë","localConversation.syncSetup.checkoutClean":"Aktualisht në {branchName}","localConversation.syncSetup.checkoutDirty":"Aktualisht në {branchName} me ndryshime të paruajtura","localConversation.syncSetup.checkoutError":"Dega nuk u kalua: {message}","localConversation.syncSetup.checkoutLabel":"Kalo lokalisht tani","localConversation.syncSetup.checkoutOnLocal":"Dorëzo në mjedisin lokal","localConversation.syncSetup.checkoutPending":"Duke kontrolluar statusin lokal…","localConversation.syncSetup.checkoutUnavailable":"Hapësira lokale e punës nuk është e disponueshme","localConversation.syncSetup.checkoutUnknown":"Dega lokale është e padisponueshme","localConversation.syncSetup.continue":"Vazhdo","localConversation.syncSetup.createBranchError":"Dega e dorëzimit nuk u caktua: {message}","localConversation.syncSetup.error":"Diçka shkoi keq: {message}","localConversation.syncSetup.error.workingTreeMissing":"Pamja e çastit e pemës së punës nuk u krijua. Riprovo dorëzimin.","localConversation.syncSetup.mode.ariaLabel":"Zgjidh modalitetin e degës","localConversation.syncSetup.mode.existing":"Degë ekzistuese","localConversation.syncSetup.mode.new":"Degë e re","localConversation.syncSetup.noBranches":"Nuk u gjetën degë","localConversation.syncSetup.overwriteError":"Dega u krijua, por nuk është dorëzuar plotësisht. Dorëzoje manualisht përpara se të kryesh kalimin në mjedisin lokal.","localConversation.syncSetup.setPrefix":"Vendos parashtesën","localConversation.syncSetup.subtitle":"Testo dhe modifiko ndryshimet e pemës së punës lokalisht. <a>Mëso më shumë</a>","localConversation.syncSetup.success.checkedOut":"Dega u krijua dhe u kalua në mjedisin lokal","localConversation.syncSetup.success.notCheckedOut":"Dega u krijua","localConversation.syncSetup.title":"Dorëzo në një degë lokale","localConversation.syncWorktreeError.branchAriaLabel":"Emri i degës","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Zgjidh një degë për dorëzim, më pas riprovo ngarkimin e ndryshimeve.","localConversation.syncWorktreeError.branchSetup.title":"Përditëso degën","localConversation.syncWorktreeError.branchUpdate.cta":"Përditëso dhe riprovo","localConversation.syncWorktreeError.branchUpdate.error":"Dega nuk u përditësua: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Diçka shkoi keq: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Dega nuk është kaluar në asnjë pemë pune.","localConversation.syncWorktreeV2.applyUncommitted":"Zbato","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Duhet ta kalosh degën në mjedisin lokal për të zbatuar ndryshime e paruajtura","localConversation.syncWorktreeV2.branches.empty":"Nuk u gjetën degë","localConversation.syncWorktreeV2.branches.loading":"Duke ngarkuar degët…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Ndrysho degën e dorëzimit","localConversation.syncWorktreeV2.changeBranch.error":"Dega e dorëzimit nuk u ndryshua: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Zbatimi dështoi","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Mbishkrimi i pemës së punës nuk u krye","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Mbishkrimi i mjedisit lokal nuk u krye","localConversation.syncWorktreeV2.commandError.back":"Prapa","localConversation.syncWorktreeV2.commandError.body":"Një komandë git-i dështoi gjatë dorëzimit. Rishiko rezultatin dhe riprovo.","localConversation.syncWorktreeV2.commandError.retry":"Riprovo","localConversation.syncWorktreeV2.description":"Dorëzo ndryshimet ndërmjet mjedisit lokal dhe kësaj peme pune <a>Mëso më shumë</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Zgjidh drejtimin e dorëzimit.","localConversation.syncWorktreeV2.error.generic":"Diçka shkoi keq gjatë dorëzimit. Provo përsëri.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalisht","localConversation.syncWorktreeV2.noChanges":"Duke llogaritur ndryshimet","localConversation.syncWorktreeV2.noChanges.summary":"Asnjë ndryshim","localConversation.syncWorktreeV2.overwrite.local":"Mbishkruaj mjedisin lokal","localConversation.syncWorktreeV2.overwrite.worktree":"Mbishkruaj pemën e punës","localConversation.syncWorktreeV2.partial.action.applyFailed":"Ndryshimet nuk mund të zbatoheshin","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Ndryshimet lokale nuk mund të mbishkruheshin","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Ndryshime në pemën e punës nuk mund të mbishkruheshin","localConversation.syncWorktreeV2.partial.appliedLabel":"Zbatuar","localConversation.syncWorktreeV2.partial.back":"Prapa","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Zgjidh konfliktet dhe provo përsëri.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konfliktet","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# skedar} other {# skedarë}}","localConversation.syncWorktreeV2.partial.retry":"Riprovo","localConversation.syncWorktreeV2.partial.skippedLabel":"U anashkalua","localConversation.syncWorktreeV2.stateFailed.generic":"Diçka shkoi keq gjatë marrjes së ndryshimeve të pemës së punës. Provo përsëri.","localConversation.syncWorktreeV2.stateFailed.title":"Ndryshimet e pemës së punës nuk u ngarkuan","localConversation.syncWorktreeV2.statusError.diffUnknown":"Ndryshimet e pemës së punës nuk u ngarkuan.","localConversation.syncWorktreeV2.statusError.retry":"Riprovo","localConversation.syncWorktreeV2.statusError.title":"Ndryshimet e degës lokale nuk u ngarkuan","localConversation.syncWorktreeV2.statusError.unknown":"Për momentin statusi i degës është i padisponueshëm. Provo përsëri.","localConversation.syncWorktreeV2.success.apply":"Ndryshimet u zbatuan me sukses","localConversation.syncWorktreeV2.success.overwrite":"Dorëzimi ishte i suksesshëm","localConversation.syncWorktreeV2.title":"Dorëzo ndryshimet","localConversation.syncWorktreeV2.worktreeLabel":"Pemë pune","localConversation.userInputRequest.inProgress":"Duke bërë {count, plural, one {pyetje} other {pyetje}}","localConversation.userInputRequest.noAnswer":"Nuk u dha ndonjë përgjigje","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Pyeti","localConversation.userInputRequest.summary.count":"{count, plural, one {# pyetje} other {# pyetje}}","localConversation.workedFor":"Punoi për {time}","localConversation.worktreeBranchSetup.action.create":"Krijo","localConversation.worktreeBranchSetup.branchAriaLabel":"Emri i degës","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Krijo një degë të re","localConversation.worktreeBranchSetup.checkoutDisabled":"Kjo degë është kaluar tashmë në {location}","localConversation.worktreeBranchSetup.checkoutError":"Dega nuk u kalua: {message}","localConversation.worktreeBranchSetup.createBranchError":"Dega nuk u caktua: {message}","localConversation.worktreeBranchSetup.error":"Diçka shkoi keq: {message}","localConversation.worktreeBranchSetup.subtitle":"Krijo një degë për të ruajtur ndryshimet, për të dërguar dhe për të krijuar një PR nga kjo pemë pune. <a>Mëso më shumë</a>","localConversation.worktreeBranchSetup.title":"Puno këtu","localConversationPage.addWorktreeToSidebar.tooltip":"Ruaje si projekt që të mund të nisësh bashkëbisedime të reja nga kjo pemë pune","localConversationPage.addWorktreeToSidebarError":"Projekti nuk u shtua","localConversationPage.commitAndCreatePrModal.errorTitle":"Ruajta e ndryshimeve dhe krijimi i PR-së dështoi","localConversationPage.commitAndCreatePrModal.successTitle":"U ruajtën ndryshimet dhe krijua PR-ja","localConversationPage.commitAndPushModal.errorTitle":"Ruajta e ndryshimeve dhe dërgimi dështoi","localConversationPage.commitAndPushModal.successTitle":"Ndryshimet u ruajtën dhe dërguan","localConversationPage.commitCreatePr.open":"Hap kërkesën e tërheqjes","localConversationPage.commitCreatePr.successTitle":"U krijua PR-ja me ndryshimet e tua të fundit","localConversationPage.createBranchButtonLabel":"Krijo degë këtu","localConversationPage.createPrModal.baseBranch":"Bazë","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Krijo PR","localConversationPage.createPrModal.createDescription":"Hap një kërkesë tërheqjeje për ndryshimet e tua më të fundit.","localConversationPage.createPrModal.errorTitle":"Kërkesa e tërheqjes dështoi","localConversationPage.createPrModal.headBranch":"Kryesorja","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Hap PR-në","localConversationPage.createPrModal.successTitle":"Kërkesa e tërheqjes u krijua","localConversationPage.createPrModal.title":"Krijo kërkesën e tërheqjes","localConversationPage.createPrModal.viewDescription":"Ekziston tashmë një kërkesë tërheqjeje për këtë degë.","localConversationPage.createPrModal.viewTitle":"Kërkesa e tërheqjes është gati","localConversationPage.createPullRequestAuthGh":"Vërteto CLI-në e GitHub-it: ekzekuto `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Informacioni i degës është i padisponueshëm","localConversationPage.createPullRequestButtonLabel":"Krijo PR","localConversationPage.createPullRequestButtonLabel.loading":"Duke krijuar PR-në…","localConversationPage.createPullRequestDefaultBranchMissing":"Informacioni i degës së parazgjedhur është i padisponueshëm.","localConversationPage.createPullRequestError":"Nuk u krijua kërkesa e tërheqjes","localConversationPage.createPullRequestExistingPullRequest":"Ekziston tashmë një kërkesë tërheqjeje për këtë degë","localConversationPage.createPullRequestGhStatusMissing":"Duke ngarkuar statusin e CLI-së së GitHub-it…","localConversationPage.createPullRequestInstallGh":"Instalo CLI-në e GitHub-it (gh) për të krijuar PR","localConversationPage.createPullRequestNoRepo":"Nuk u gjet depo git","localConversationPage.createPullRequestPushStatusMissing":"Duke ngarkuar statusin e dërgimit...","localConversationPage.createPullRequestSetUpstream":"Dërgoje këtë degë përpara se të krijosh një PR","localConversationPage.createPullRequestSuccessToast":"Kërkesa e tërheqjes u krijua","localConversationPage.createPullRequestSwitchBranch":"Kalo te një degë veçorie përpara se të krijosh një PR","localConversationPage.error.render":"Gabim gjatë paraqitjes së bisedës lokale","localConversationPage.error.toast":"Biseda nuk u gjet","localConversationPage.forcePushError":"Dërgimi i detyruar dështoi","localConversationPage.generatePullRequestMessageError":"Titulli dhe përmbajtja e kërkesës së tërheqjes nuk u gjeneruan","localConversationPage.generatePullRequestMessageFailed":"Titulli dhe përmbajtja e kërkesës së tërheqjes nuk u gjeneruan.","localConversationPage.gitActionResult.branch":"Dega","localConversationPage.gitActionResult.cancel":"Anulo","localConversationPage.gitActionResult.close":"Mbyll","localConversationPage.gitActionResult.tryAgain":"Provo përsëri","localConversationPage.gitActions":"Veprimet git","localConversationPage.newChat":"Bisedë e re","localConversationPage.openInTarget":"Hape te","localConversationPage.openPrimaryTarget":"Hap","localConversationPage.planItemsCompleted":"{completedItems} nga{totalItems, plural, one {# detyrë e përfunduar} other {# detyra të përfunduara}}","localConversationPage.pushAuthError":"Dërgimi dështoi: kërkohet vërtetimi","localConversationPage.pushBranchMissing":"Informacioni i degës është i padisponueshëm","localConversationPage.pushButtonLabel":"Dërgo","localConversationPage.pushButtonLabel.loading":"Dërgimi…","localConversationPage.pushError":"Ndryshimet nuk u dërguan","localConversationPage.pushModal.branchLabel":"Dega","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Anulo","localConversationPage.pushModal.confirm":"Dërgo","localConversationPage.pushModal.description":"Dërgoji ndryshimet e tua të fundit në depon në distancë.","localConversationPage.pushModal.errorTitle":"Dërgimi dështoi","localConversationPage.pushModal.forcePush":"Dërgim i detyruar","localConversationPage.pushModal.successTitle":"Dërgimi përfundoi","localConversationPage.pushModal.title":"Dërgo ndryshimet","localConversationPage.pushModal.tryAgain":"Provo përsëri","localConversationPage.pushNoUpstream":"Cakto një degë kryesore përpara se ta dërgosh këtë degë","localConversationPage.pushNoUpstreamError":"Dërgimi dështoi: nuk u konfigurua asnjë arkiv kryesor","localConversationPage.pushNothingToPush":"Nuk ka ndryshime të reja për të dërguar","localConversationPage.pushRemoteChangedError":"Dërgimi i ndryshimeve dështoi: depoja e largët ka ndryshime të reja","localConversationPage.pushRemoteRejectedError":"Dërgimi u refuzua nga depoja e largët","localConversationPage.pushStatusMissing":"Duke ngarkuar statusin e dërgimit...","localConversationPage.pushSuccessToast":"Ndryshimet e dërguara","localConversationPage.viewPullRequestButtonLabel":"Shfaq PR-në","localConversationPage.viewPullRequestButtonLabel.loading":"Duke ngarkuar kërkesën për tërheqje…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# skedar} other {# skedarë}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# listë} other {# lista}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# kërkim} other {# kërkime}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Duke eksploruar","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Eksploruar","localConversationTurn.exploration.accordion.header.complete.withCounts":"Eksploruar {counts}","localConversationTurnStory.showContent":"Shfaq përmbajtjen","localConversationTurnStory.streamContent":"Transmeto përmbajtjen","localConversationTurnStory.toggleReasoning":"Shfaq arsyetimin","localTaskRow.archiveError":"Biseda nuk u arkivua","localTaskRow.resumeError":"Detyra nuk rifilloi","mermaidDiagram.ariaLabel":"Diagrami Mermaid","mermaidDiagram.copySource":"Kopjo diagramin Mermaid","mermaidDiagram.originalCode":"Kodi burimor Mermaid","notifications.permissions.description":"Shfaq sinjalizime kur kërkohen leje për njoftime","notifications.permissions.label":"Aktivizo njoftimet e lejes","notifications.turnMode.always":"Gjithmonë","notifications.turnMode.description":"Cakto se kur të të sinjalizojë Codex-i se ka mbaruar","notifications.turnMode.label":"Aktivizo njoftimet e përfundimit","notifications.turnMode.off":"Asnjëherë","notifications.turnMode.unfocused":"Vetëm kur nuk është i fokusuar","patchApprovalRequest.approve":"Mirato","patchApprovalRequest.menu.allowAlways":"Po, dhe mos pyet sërish në këtë sesion","patchApprovalRequest.menu.allowForSession":"Po, dhe mos pyet sërish në këtë sesion","patchApprovalRequest.menu.allowOnce":"Po","patchApprovalRequest.prompt":"A dëshiron t'i bësh këto ndryshime?","patchApprovalRequest.reject":"Jo","patchApprovalRequest.waitingForApproval":"Duke pritur miratimin për të modifikuar skedarët","pendingRequest.approvalExec.collapse":"Palos","pendingRequest.approvalExec.expand":"Zgjero","pendingRequestStory.toastAnswer":"Përgjigjja: {answer}","pendingRequestStory.toastApprovalTitle":"Përgjigja e miratimit","pendingRequestStory.toastFollowupPrompt":"Kërkesa: {prompt}","pendingRequestStory.toastFollowupTitle":"Kërkesa vijuese u dërgua","pendingRequestStory.toastNoAnswers":"Nuk janë dhënë përgjigje","pendingRequestStory.toastQuestion":"Pyetja: {question}","pendingRequestStory.toastUnknownDecision":"I panjohur","pendingRequestStory.toastUserInputTitle":"Përgjigjet u dorëzuan","quickAction.request.codeReview.branches.new":"Rishiko ndryshimet në {from} kundrejt {to}","quickAction.request.codeReview.uncommitted.new":"Rishiko ndryshimet e mia të paruajtura","reasoningItem.thinking":"Duke u menduar","reasoningItem.thought":"U mendua","reasoningItem.thoughtWithElapsed":"U mendua për {elapsed}","recentConversations.title":"Bisedat e fundit","recentTasks.worktreeInitFailedTitle":"Nisja e pemës së punës dështoi","recentTasks.worktreeSettingUpTitle":"Duke konfiguruar pemën e punës","requestInputPanel.continue":"Vazhdo","requestInputPanel.dismiss":"Hiq","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Shkruaj këtu","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Jo, dhe thuaji Codex-it çfarë të bëjë ndryshe","requestInputPanel.selectedBadge":"Të përzgjedhurit","requestInputPanel.skip":"Anashkalo","requestInputPanel.submit":"Dorëzo","review.commit.ariaLabel.includeUnstaged":"Përfshi ndryshimet e pavendosura në fazën përgatitore","review.commit.buttonLabel":"Ruajtja e ndryshimeve","review.commit.disabled.committing":"Duke ruajtur...","review.commit.disabled.loadingDiff":"Duke ngarkuar diferencat…","review.commit.disabled.missingContext":"Shto pak kontekst për të gjeneruar një mesazh për ruajtjen e ndryshimeve","review.commit.disabled.noChanges":"Asnjë ndryshim për t’u ruajtur","review.commit.disabled.noSelection":"Zgjidh ndryshimet për t’u ruajtur","review.commit.disabled.unavailable":"Ruajtja e ndryshimeve nuk ofrohet për momentin","review.commit.error":"Ruajtja e ndryshimeve dështoi","review.commit.form.changesToBeCommitted":"Ndryshimet","review.commit.form.commitTo":"Dega","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Vazhdo","review.commit.form.title":"Ruaj ndryshimet e tua","review.commit.generate.emptyResponse":"Mesazhi për ruajtjen e ndryshimeve nuk u gjenerua.","review.commit.generate.failed":"Mesazhi për ruajtjen e ndryshimeve nuk u gjenerua: {error}","review.commit.generate.missingPrompt":"Shto pak kontekst për të gjeneruar një mesazh të ruajtjes së ndryshimeve.","review.commit.includeUnstaged":"Përfshi ndryshimet e pavendosura në fazën përgatitore","review.commit.loading.description":"Prit pak, mund të zgjasë disa minuta…","review.commit.loading.step.commit.done":"Ndryshimet e ruajtura","review.commit.loading.step.commit.pending":"Duke ruajtur ndryshimet","review.commit.loading.step.createPr.done":"Kërkesa për tërheqje u krijua","review.commit.loading.step.createPr.pending":"Duke krijuar një kërkesë për tërheqje","review.commit.loading.step.push.done":"Dërguar në degën {branch}","review.commit.loading.step.push.pending":"Duke dërguar në degën {branch}","review.commit.loading.title.commit":"Duke ruajtur ndryshimet","review.commit.loading.title.createPr":"Duke krijuar një PR","review.commit.loading.title.push":"Duke dërguar ndryshimet","review.commit.messageLabel":"Mesazhi i ruajtjes së ndryshimeve","review.commit.messagePlaceholder":"Lëre bosh për të gjeneruar automatikisht një mesazh të ruajtjes së ndryshimeve","review.commit.nextSteps":"Hapat e tjerë","review.commit.nextSteps.commit":"Ruaj","review.commit.nextSteps.commitAndCreate":"Ruaj ndryshimet dhe krijo PR-në","review.commit.nextSteps.commitAndPush":"Ruaj ndryshimet dhe dërgo","review.commit.nextSteps.prRequiresGh":"Kërkon CLI-në e GitHub-it: {command}","review.commit.rows.changes":"Ndryshimet","review.commit.rows.commitCount":"{count, plural, one {# ruajtje ndryshimesh} other {# ruajtje ndryshimesh}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# ruajtje ndryshimesh} other {# ruajtje ndryshimesh}} dhe {stats}","review.commit.rows.fileCount":"{count, plural, one {# skedar} other {# skedarë}}","review.commit.state.error.body":"Diçka shkoi keq gjatë ruajtjes. Kontrollo statusin e git-it dhe provo përsëri.","review.commit.state.error.title":"Ruajtja dështoi","review.commit.state.success.title":"Ndryshimet u ruajtën","review.commit.untracked.loadingStats":"Duke ngarkuar statistikat e diferencave të pagjurmuara","reviewFindingAttachments.count":"{count, plural, one {# gjetje} other {# gjetje}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Modifiko konfigurimin tënd për të personalizuar sjelljen e agjentit","settings.agent.configuration.configToml.docs":"Dokumentet","settings.agent.configuration.configToml.restartNote":"Rifillo Codex-in pas modifikimit për të zbatuar ndryshimet","settings.agent.configuration.subtitle":"Këto cilësime zbatohen kudo që përdoret Codex-i","settings.automations.banner.danger":"Automatizimet ekzekutohen me cilësimet e tua të parazgjedhura të mjedisit të testimit, që aktualisht janë vendosur në qasje të plotë. Ekzekutimi i automatizimeve në sfond me qasje të plotë mbart rrezik të lartë, pasi Codex-i mund të modifikojë skedarë, të ekzekutojë komanda dhe të hyjë në rrjet pa pyetur. Konsidero përditësimin e cilësimeve të mjedisit të testimit në shkrim në hapësirën e punës dhe përdorimin e <rulesDocsLink>rregullave</rulesDocsLink> për të përcaktuar në mënyrë përzgjedhëse se cilat komanda mund të ekzekutojë agjenti me qasje të plotë.","settings.automations.banner.defaultHowTo.default":"Automatizimet ekzekutohen me cilësimet e tua të parazgjedhura të mjedisit të testimit. Thirrjet e mjeteve do të dështojnë nëse kërkojnë modifikimin e skedarëve jashtë hapësirës së punës, qasjen në rrjet ose punë me aplikacionet në kompjuterin tënd. Mund të lejosh në mënyrë përzgjedhëse komandat për t'u ekzekutuar jashtë mjedisit të testimit duke përdorur <rulesDocsLink>rregullat</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":'Automatizimet ekzekutohen me cilësimet e tua të parazgjedhura të mjedisit të testimit, që janë vendosur në modalitetin "vetëm për lexim". Thirrjet e mjeteve do të dështojnë nëse kërkojnë modifikimin e skedarëve, qasjen në rrjet ose punë me aplikacionet në kompjuterin tënd. Konsidero përditësimin e cilësimeve të mjedisit të testimit në shkrim në hapësirën e punës.',"settings.automations.cancel":"Anulo","settings.automations.create":"Krijo","settings.automations.cwdEmpty":"Nuk ka dosje projektesh të disponueshme","settings.automations.cwdLabel":"Projektet","settings.automations.cwdPlaceholder":"Zgjidh një dosje","settings.automations.cwdSubtitle":"Nëse dëshiron që një automatizim të ekzekutohet në një degë specifike, mund ta specifikosh në kërkesën tënde.","settings.automations.delete":"Fshi","settings.automations.dialog.editTitle":"Modifiko automatizimin","settings.automations.dialog.newTitle":"Automatizim i ri","settings.automations.dialog.subtitle":"Automatizo detyrat e përsëritura në sfond. Codex-i shton gjetjet në kutinë hyrëse ose arkivon automatikisht detyrën nëse nuk ka asgjë për të raportuar. <learnMoreLink>Mëso më shumë</learnMoreLink>","settings.automations.dialog.title":"Krijo automatizim","settings.automations.executionCopy.git":"Automatizimet funksionojnë në sfond në pemë pune të dedikuara.","settings.automations.executionCopy.nonGit":"Automatizimet në projektet pa kontroll versioni ekzekutohen direkt në direktorinë e projektit. Konsidero përdorimin e Git-it për të aktivizuar ekzekutimin në pemët e punës në sfond.","settings.automations.executionEnvironment.local":"Lokalisht","settings.automations.executionEnvironment.worktree":"Pemë pune","settings.automations.loading":"Duke ngarkuar...","settings.automations.nameLabel":"Emri","settings.automations.namePlaceholder":"Kontrollo për probleme në sentry","settings.automations.pause":"Pezullo","settings.automations.promptLabel":"Kërkesë","settings.automations.promptPlaceholder":"kërko për ndërprerje në$Sentry","settings.automations.resume":"Vazhdo","settings.automations.rruleSummaryFallback":"Program i përshtatur","settings.automations.runNow":"Test","settings.automations.save":"Ruaj","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}o","settings.automations.scheduleBadge.weekdays":"Ditët e javës","settings.automations.scheduleBadge.weekends":"Fundjavëve","settings.automations.scheduleHeader":"Programi","settings.automations.scheduleHours":"orë","settings.automations.scheduleLabel":"Ekzekuto çdo","settings.automations.scheduleMode.daily":"Çdo ditë","settings.automations.scheduleMode.interval":"Intervali","settings.automations.scheduleModeLabel":"Lloji i programit","settings.automations.scheduleSummary.daily":"Çdo ditë në {time}","settings.automations.scheduleSummary.interval":"Çdo {count}orë","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# ditë} other {# ditë}}","settings.automations.scheduleSummary.intervalDays":"{interval} ditën {days}","settings.automations.scheduleSummary.intervalHourly":"Çdo orë","settings.automations.scheduleSummary.singleDay":"{day} në {time}","settings.automations.scheduleSummary.weekdays":"Ditët e javës në {time}","settings.automations.scheduleSummary.weekdaysLabel":"ditët e javës","settings.automations.scheduleSummary.weekends":"Fundjavëve në {time}","settings.automations.scheduleSummary.weekendsLabel":"fundjavëve","settings.automations.scheduleSummary.weekly":"{days} në {time}","settings.automations.scheduleWeekdays":"Aktiv","settings.automations.weekdayState.excluded":"Përjashtuar","settings.automations.weekdayState.included":"Përfshirë","settings.conversationDetail.steps":"Hapat","settings.conversationDetail.steps.description":"Fshih komandat dhe rezultatet","settings.conversationDetail.stepsWithCommands":"Hapat me komanda kodi","settings.conversationDetail.stepsWithCommands.description":"Shfaq komandat, palos rezultatin","settings.conversationDetail.stepsWithOutput":"Hapat me rezultatin e kodit","settings.conversationDetail.stepsWithOutput.description":"Shfaq komandat dhe zgjero rezultatin","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Nuk ka biseda të arkivuara.","settings.dataControls.archivedChats.error":"Bisedat e arkivuara nuk u ngarkuan.","settings.dataControls.archivedChats.loading":"Duke ngarkuar bisedat e arkivuara…","settings.dataControls.archivedChats.unarchive":"Nxirr nga arkivi","settings.dataControls.archivedChats.unarchiveError":"Biseda nuk u hoq nga arkivi","settings.dataControls.archivedChats.unarchiveSuccess":"Bashkëbisedim i nxjerrë nga arkivi. <viewNowLink>Shihe tani</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Bashkëbisedim i nxjerrë nga arkivi.","settings.dataControls.archivedChats.untitled":"Bisedë pa titull","settings.dataControls.archivedChats.viewNow":"Shiko tani","settings.editRow.headerPlaceholder":"Kodi","settings.editRow.removeEntry":"Hiq hyrjen","settings.editRow.valuePlaceholder":"Vlera","settings.general.appearance":"Pamja","settings.general.appearance.codeFont":"Fonti i kodit","settings.general.appearance.codeFont.description":"Rregullo fontin dhe madhësinë e përdorur për kodin në të gjitha bisedat dhe diferencat","settings.general.appearance.codeFontFamily":"Familja e fontit të kodit","settings.general.appearance.codeFontSize":"Madhësia e shkronjave të kodit","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Bëj që dritaret të përdorin një sfond të plotë në vend të transparencës së sistemit","settings.general.appearance.opaqueWindows.label":"Përdor sfond dritareje jotransparent","settings.general.appearance.sansFontFamily":"Familja e fontit Sans","settings.general.appearance.sansFontFamily.description":"Rregullo fontin e përdorur për UI-në e Codex-it","settings.general.appearance.sansFontSize":"Madhësia e fontit Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Shfaq efekte festimi në dritare të plotë ndërkohë që GPT-5.3-Codex-Spark kryen ekzekutimin e parë","settings.general.appearance.sparkCelebrationEffects.label":"Efekte festimi me xixa","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"E errët","settings.general.appearance.theme.description":"Përdor modalitetin e çelët ose të errët ose përputhe me sistemin tënd","settings.general.appearance.theme.light":"E çelët","settings.general.appearance.theme.system":"Sistemi","settings.general.appearance.usePointerCursors.description":"Ndryshoje kursorin në tregues kur qëndron pezull mbi elementet ndërvepruese","settings.general.appearance.usePointerCursors.label":"Përdor kursorë tregues","settings.general.enterBehavior.description":"Kur është e aktivizuar, duhet të shtypni {modifierSymbol} + enter për të dërguar kërkesa me shumë rreshta.","settings.general.enterBehavior.label":"Kërkohet {modifierSymbol} + enter për të dërguar kërkesa të gjata","settings.general.experimentalFeatures":"Veçoritë eksperimentale (Beta)","settings.general.experimentalFeatures.empty":"Nuk disponohen veçori eksperimentale beta.","settings.general.experimentalFeatures.loading":"Duke u ngarkuar veçoritë eksperimentale…","settings.general.experimentalFeatures.restartNote":"Rinis Codex-in për të zbatuar ndryshimet e veçorive eksperimentale","settings.general.experimentalFeatures.toggle":"Ndrysho {featureName}","settings.general.followUpQueueMode.description":"Vendos në radhë kërkesat vijuese ndërkohë që Codex-i ekzekuton ose drejton ekzekutimin aktual. Shtyp {invertFollowUpShortcutLabel} për të bërë të kundërtën për një mesazh.","settings.general.followUpQueueMode.interrupt":"Drejtim","settings.general.followUpQueueMode.label":"Sjellja e kërkesave vijuese","settings.general.followUpQueueMode.queue":"Në radhë","settings.general.notifications":"Njoftimet","settings.general.power.preventSleepWhileRunning.description":"Mbaje të ndezur kompjuterin teksa Codex-i ekzekuton një bashkëbisedim.","settings.general.power.preventSleepWhileRunning.label":"Parandalo gjendjen e gjumit gjatë ekzekutimit","settings.git.branchPrefix.ariaLabel":"Parashtesa e degës","settings.git.branchPrefix.description":"Parashtesa mund të përdoret gjatë krijimit të degëve të reja në Codex","settings.git.branchPrefix.label":"Parashtesa e degës","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Parashtesa e degës nuk u ruajt","settings.git.branchPrefix.save.success":"Parashtesa e degës u ruajt","settings.git.commitInstructions.ariaLabel":"Udhëzimet për ruajtjen e ndryshimeve","settings.git.commitInstructions.description":"U shtuan te kërkesat për gjenerimin e mesazhit për ruajtjen e ndryshimeve","settings.git.commitInstructions.label":"Udhëzimet për ruajtjen e ndryshimeve","settings.git.commitInstructions.placeholder":"Shto udhëzimet e mesazhit për ruajtjen e ndryshimeve…","settings.git.commitInstructions.save":"Ruaj","settings.git.commitInstructions.save.error":"Udhëzimet e mesazhit për ruajtjen e ndryshimeve nuk u ruajtën","settings.git.commitInstructions.save.success":"Udhëzimet për ruajtjen e ndryshimeve u ruajtën","settings.git.forcePush.ariaLabel":"Detyro gjithmonë dërgimin","settings.git.forcePush.description":"Përdor --“force-with-lease“ kur dërgon nga Codex-i","settings.git.forcePush.label":"Detyro gjithmonë dërgimin","settings.git.forcePush.save.disabled":"Detyro gjithmonë dërgimin është çaktivizuar","settings.git.forcePush.save.enabled":"Detyro gjithmonë dërgimin është aktivizuar","settings.git.forcePush.save.error":"Cilësimi për dërgimin e detyruar nuk u ruajt","settings.git.prInstructions.ariaLabel":"Udhëzimet për kërkesat e tërheqjes","settings.git.prInstructions.description":"Shtuar në përmbajtjet e kërkesave të tërheqjes të krijuara nga Codex-i","settings.git.prInstructions.label":"Udhëzimet për kërkesat e tërheqjes","settings.git.prInstructions.placeholder":"Shto udhëzime për kërkesat e tërheqjes…","settings.git.prInstructions.save":"Ruaj","settings.git.prInstructions.save.error":"Udhëzimet për kërkesat e tërheqjes nuk u ruajtën","settings.git.prInstructions.save.success":"Udhëzimet për kërkesat e tërheqjes u ruajtën","settings.ide.defaultOpenTarget.description":"Aty ku skedarët dhe dosjet hapen si parazgjedhje","settings.ide.defaultOpenTarget.label":"Destinacioni i hapur i parazgjedhur","settings.ide.defaultOpenTarget.placeholder":"Nuk u gjet asnjë objektiv","settings.ide.language.auto":"Dikto automatikisht","settings.ide.language.autoOption":"Dikto automatikisht","settings.ide.language.description":"Gjuha për ndërfaqen e përdoruesit të aplikacionit","settings.ide.language.label":"Gjuha","settings.ide.language.search":"Kërko gjuhët","settings.layout.actionButton":"Rinis shtesën","settings.layout.actionTitle":"Cilësimet me veprim","settings.layout.fullWidthTitle":"Cilësimet (Gjerësi e plotë)","settings.layout.title":"Cilësimet","settings.localEnvironments.actions.add":"Shto veprim","settings.localEnvironments.actions.add.description":"Krijo një komandë të re për ta ekzekutuar nga shiriti i mjeteve.","settings.localEnvironments.actions.add.save":"Ruaj","settings.localEnvironments.actions.empty":"Shto një veprim për të ekzekutuar komandat nga shiriti lokal i mjeteve.","settings.localEnvironments.actions.icon.debug":"Spastro","settings.localEnvironments.actions.icon.run":"Ekzekuto","settings.localEnvironments.actions.icon.test":"Test","settings.localEnvironments.actions.icon.tool":"Mjet","settings.localEnvironments.actions.item.button.delete":"Fshi","settings.localEnvironments.actions.item.command":"Skript veprimi","settings.localEnvironments.actions.item.name":"Emri","settings.localEnvironments.actions.item.platforms":"Platforma","settings.localEnvironments.actions.item.platforms.help":"Ekzekuto vetëm në një OS specifik.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Përzgjedhja e platformës","settings.localEnvironments.actions.item.platforms.specific":"Specifik për platformën","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Fshi","settings.localEnvironments.actions.title":"Veprimet","settings.localEnvironments.breadcrumb.back":"Prapa","settings.localEnvironments.breadcrumb.edit":"modifiko","settings.localEnvironments.breadcrumb.root":"Mjediset","settings.localEnvironments.environment.actions.description":"Këto veprime mund të ekzekutojnë çdo komandë dhe do të shfaqen te koka.","settings.localEnvironments.environment.actionsLabel":"Veprimet","settings.localEnvironments.environment.create":"Krijo mjedis lokal","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"Modifiko mjedisin lokal","settings.localEnvironments.environment.empty":"Për projekt nuk është konfiguruar ende asnjë mjedis lokal.","settings.localEnvironments.environment.name":"Emri","settings.localEnvironments.environment.setup":"Skripti i konfigurimit","settings.localEnvironments.environment.setup.description":"Ky skript do të ekzekutohet te krijimi i pemës së punës.","settings.localEnvironments.environment.setup.hint":"Ekzekutohet në rrënjën e projektit.","settings.localEnvironments.environment.setup.platformOverrides":"Mbivendosje të platformës","settings.localEnvironments.environment.setup.platformOverrides.add":"Shto skriptin e konfigurimit të {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Mbivendos skriptin e parazgjedhur për OS specifike.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Hiq","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Detajet e mjedisit","settings.localEnvironments.file.missing":"Ruaj për ta krijuar për herë të parë këtë skedar.","settings.localEnvironments.file.parseError":"E pamundur të analizohet skedari ekzistues. Ruajtja do ta mbishkruajë atë. ({error})","settings.localEnvironments.file.path":"Skedari: {path}","settings.localEnvironments.file.readError":"Të dhënat e mjedisit lokal nuk u ngarkuan. ({error})","settings.localEnvironments.file.title":"Skedari i mjedisit lokal","settings.localEnvironments.loading.body":"Duke marrë konfigurimin e projektit tënd.","settings.localEnvironments.loading.title":"Duke ngarkuar mjediset lokale","settings.localEnvironments.preview.devOnly":"(Vetëm për zhvilluesit)","settings.localEnvironments.preview.save":"Ruaj","settings.localEnvironments.preview.saveError":"Skedari nuk u ruajt. ({error})","settings.localEnvironments.preview.title":"Pamja paraprake","settings.localEnvironments.save.disabled.name":"Shto një emër mjedisi për ta ruajtur.","settings.localEnvironments.save.disabled.noChanges":"Nuk ka ndryshime për të ruajtur.","settings.localEnvironments.save.disabled.saving":"Duke ruajtur...","settings.localEnvironments.save.success":"Mjedisi lokal u ruajt","settings.localEnvironments.unavailable.body":"Nuk mundëm të ngarkonim cilësimet e mjedisit lokal për këtë projekt.","settings.localEnvironments.unavailable.title":"Mjediset lokale janë të padisponueshme","settings.localEnvironments.workspace.add":"Shto një projekt","settings.localEnvironments.workspace.title":"Projekti","settings.localEnvironments.workspaceSelect.addLabel":"Shto mjedis","settings.localEnvironments.workspaceSelect.description":"Mjediset lokale i tregojnë Codex-it se si të konfigurojë pemë pune për një projekt. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Nuk ka ende asnjë projekt. Shto një për të konfiguruar mjediset lokale.","settings.localEnvironments.workspaceSelect.errorLabel":"Mjedisi ka nevojë për vëmendje","settings.localEnvironments.workspaceSelect.learnMore":"Mëso më shumë","settings.localEnvironments.workspaceSelect.listLabel":"Projektet e disponueshme","settings.localEnvironments.workspaceSelect.loading":"Duke ngarkuar projektet.","settings.localEnvironments.workspaceSelect.loadingLabel":"Duke ngarkuar mjedisin","settings.localEnvironments.workspaceSelect.title":"Përzgjidh një projekt","settings.localEnvironments.workspaceSelect.viewAction":"Shiko","settings.mcp.addServer":"Shto server","settings.mcp.app.configure":"Konfiguro","settings.mcp.app.connect":"Lidh","settings.mcp.apps.refresh":"Rifresko","settings.mcp.detail.addArgument":"Shto argument","settings.mcp.detail.addEnvVar":"Shto variablën e mjedisit","settings.mcp.detail.addEnvVarPassthrough":"Shto variabël","settings.mcp.detail.args":"Argumentet","settings.mcp.detail.back":"Prapa","settings.mcp.detail.command":"Komanda për të nisur","settings.mcp.detail.cwd":"Direktoria e punës","settings.mcp.detail.docs":"Hap dokumentacionin MCP","settings.mcp.detail.docs.link":"Dokumentet","settings.mcp.detail.envVarPassthrough":"Kalimi i variablës së mjedisit","settings.mcp.detail.envVars":"Variablat e mjedisit","settings.mcp.detail.http.addEnvHeader":"Shto variabël","settings.mcp.detail.http.addHeader":"Shto kokë","settings.mcp.detail.http.bearerToken":"Variablat e mjedisit të tokenit të mbajtësit","settings.mcp.detail.http.envHeaders":"Kokat nga variablat e mjedisit","settings.mcp.detail.http.headers":"Kokat","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Emri","settings.mcp.detail.save":"Ruaj","settings.mcp.detail.switchTransportNotice":"Nëse dëshiron të ndërrosh llojin e serverit MCP, në fillim çinstaloje.","settings.mcp.detail.titleExisting":"Përditëso {name} MCP","settings.mcp.detail.titleNew":"Lidh me një MCP të personalizuar","settings.mcp.detail.transport.http":"HTTP-ja e transmetueshme","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Çinstalo","settings.mcp.empty":"Asnjë server MCP i personalizuar i lidhur","settings.mcp.myServers":"Serverët e personalizuar","settings.mcp.partnerServer.description.figma":"Gjenero kod më të mirë duke sjellë kontekstin e plotë të Figma-s","settings.mcp.partnerServer.description.github":"Integro me API-të e GitHub-it për të automatizuar rrjedhat e punës dhe për të nxjerrë të dhëna","settings.mcp.partnerServer.description.linear":"Integro me gjurmimin e problemeve dhe menaxhimin e projekteve të Linear-it","settings.mcp.partnerServer.description.notion":"Lexo dokumente, përditëso faqe, menaxho detyra","settings.mcp.partnerServer.description.playwright":"Integro automatizimin e shfletuesit për të zbatuar dizajnin dhe për të testuar ndërfaqen e përdoruesit.","settings.mcp.partnerServer.install":"Instalo","settings.mcp.partnerServer.installAndAuthenticate":"Instalo dhe vërteto","settings.mcp.partnerServer.logoAlt":"{label} logo","settings.mcp.partnerServer.manage":"Menaxho","settings.mcp.partnerServer.vendor":"nga {vendor}","settings.mcp.recommendedServers":"Serverët e rekomanduar","settings.mcp.restartApp":"Rinis","settings.mcp.restartExtension":"Rinis shtesën","settings.mcp.server.enable":"Aktivizo","settings.mcp.server.login":"Vërteto","settings.mcp.server.settings":"Cilësimet","settings.multiselect.createOption":'Krijo "{value}"',"settings.multiselect.removeOption":"Hiq","settings.nav.account":"Llogaria","settings.nav.agent":"Konfigurimi","settings.nav.ariaLabel":"Cilësimet","settings.nav.back":"Kthehu tek aplikacioni","settings.nav.data-controls":"Bashkëbisedimet e arkivuara","settings.nav.environments":"Mjediset në renë kompjuterike","settings.nav.externalTooltip":"[alfa] Hapet në shfletues","settings.nav.general-settings":"Të përgjithshme","settings.nav.git-settings":"Git","settings.nav.local-environments":"Mjediset","settings.nav.mcp-settings":"Serverët MCP","settings.nav.notImplemented":"[alfa] Nuk ofrohet në Alpha","settings.nav.personalization":"Personalizimi","settings.nav.skills-settings":"Aftësitë","settings.nav.usage-analytics":"Përdorimi dhe analitika","settings.nav.worktrees":"Pemët e punës","settings.openSourceLicenses.back":"Prapa","settings.openSourceLicenses.loading":"Duke ngarkuar...","settings.openSourceLicenses.missing":"Nuk u gjetën njoftime nga palë të treta.","settings.openSourceLicenses.notSupported":"Nuk disponohen në këtë host.","settings.openSourceLicenses.rowDescription":"Njoftime nga palë të treta për varësitë e grupuara","settings.openSourceLicenses.rowLabel":"Licencat me burim të hapur","settings.openSourceLicenses.subtitle":"Njoftime nga palë të treta për varësitë e përfshira në këtë aplikacion","settings.openSourceLicenses.title":"Licencat me burim të hapur","settings.openSourceLicenses.view":"Shiko","settings.personalization.agents.description":"Modifiko udhëzimet që e përshtatin Codex-in për ty. {learnMore}","settings.personalization.agents.learnMore":"Mëso më shumë","settings.personalization.agents.loadError":"Ngarkimi i agjentëve.md nuk u krye","settings.personalization.agents.loading":"Duke ngarkuar agjentët.md...","settings.personalization.agents.placeholder":"Shto udhëzimet e tua të përshtatura...","settings.personalization.agents.retry":"Riprovo","settings.personalization.agents.save":"Ruaj","settings.personalization.agents.save.error":"Ruajtja e agjentëve.md nuk u krye","settings.personalization.agents.save.success":"Agjentët.md u ruajtën","settings.personalization.agents.title":"Udhëzimet e përshtatura","settings.personalization.personality.description":"Zgjidh një ton të parazgjedhur për përgjigjet e Codex-it","settings.personalization.personality.label":"Personaliteti","settings.sample.contentBody":"Përdor këtë strukturë për të kompozuar panelet e cilësimeve me hapësirë të qëndrueshme.","settings.sample.contentTitle":"Shembull blloku përmbajtjeje","settings.section.account":"Llogaria","settings.section.agent":"Konfigurimi","settings.section.data-controls":"Bashkëbisedimet e arkivuara","settings.section.environments":"Mjediset në renë kompjuterike","settings.section.external":"Hapet në shfletuesin tënd gjatë versionit Alfa","settings.section.general-settings":"Të përgjithshme","settings.section.git-settings":"Git","settings.section.local-environments":"Mjediset","settings.section.mcp-settings":"Serverët MCP","settings.section.mcp-settings.docs":"Dokumentet","settings.section.mcp-settings.subtitle":"Lidh mjetet e jashtme dhe burimet e të dhënave.","settings.section.personalization":"Personalizimi","settings.section.skills-settings":"Aftësitë","settings.section.unavailable":"Nuk disponohen në Alfa","settings.section.usage-analytics":"Përdorimi dhe analitika","settings.section.worktrees":"Pemët e punës","settings.threadDetail.description":"Zgjidh se sa rezultate të komandës të shfaqen në bashkëbisedime","settings.threadDetail.label":"Detajet e bashkëbisedimit","settings.worktrees.conversation.untitled":"Bisedë pa titull","settings.worktrees.delete.error":"Pema e punës nuk u fshi","settings.worktrees.empty.body":"Pemët e punës të krijuara nga Codex-i do të shfaqen këtu.","settings.worktrees.empty.title":"Nuk ka ende pemë pune","settings.worktrees.error.body":"Diçka shkoi keq gjatë ngarkimit të pemëve të punës.","settings.worktrees.error.retry":"Riprovo","settings.worktrees.error.title":"Pemët e punës nuk u ngarkuan","settings.worktrees.loading.body":"Duke marrë detajet e pemës së punës.","settings.worktrees.loading.title":"Duke ngarkuar pemët e punës","settings.worktrees.repository.loading":"Duke ngarkuar të dhënat meta të depos…","settings.worktrees.repository.unknown":"Depo e panjohur","settings.worktrees.row.conversations":"Bisedat","settings.worktrees.row.conversations.empty":"Nuk ka biseda të lidhura me këtë pemë pune.","settings.worktrees.row.conversations.loading":"Duke ngarkuar bisedat…","settings.worktrees.row.delete":"Fshi","settings.worktrees.row.title":"Pemë pune","sidebarElectron.addWorkspaceRoot":"Shto një projekt të ri","sidebarElectron.archiveThread":"Arkivo bashkëbisedimin","sidebarElectron.archiveThreadError":"Bashkëbisedimi nuk u arkivua","sidebarElectron.collapseFolder":"Palos dosjen","sidebarElectron.createStableWorktree.dialog.cancel":"Anulo","sidebarElectron.createStableWorktree.dialog.create":"Krijo","sidebarElectron.debugNavLink":"Spastro","sidebarElectron.editWorkspaceRootOptionName":"Modifiko emrin","sidebarElectron.expandFolder":"Zgjero dosjen","sidebarElectron.groupByMenu.recency":"Lista kronologjike","sidebarElectron.groupByMenu.title":"Organizo","sidebarElectron.groupByMenu.workspace":"Sipas projektit","sidebarElectron.inboxRouteNavLink":"Automatizimet","sidebarElectron.markThreadUnread":"Shënoje si të palexuar","sidebarElectron.missingWorkspaceRoot":"Kjo dosje projekti u fshi ose u zhvendos","sidebarElectron.newThread":"Bashkëbisedim i ri","sidebarElectron.newThreadInGroup":"Nis bashkëbisedim të ri në {folder}","sidebarElectron.noRecentThreads":"Asnjë bashkëbisedim i fundit","sidebarElectron.noTasks":"Nuk ka bashkëbisedime","sidebarElectron.noTasks.start":"Shto një projekt të ri","sidebarElectron.noTasksWithFilter":"Nuk ka bashkëbisedime që përputhen me filtrat","sidebarElectron.pinnedThreads":"Bashkëbisedimet e ngulitura","sidebarElectron.recentNavLink":"Bashkëbisedimet","sidebarElectron.recentThreads":"Bashkëbisedimet e fundit","sidebarElectron.removeWorkspaceRootOption":"Hiq","sidebarElectron.renameThread":"Riemërto bashkëbisedimin","sidebarElectron.renameThreadDialogAriaLabel":"Titulli i bashkëbisedimit","sidebarElectron.renameThreadDialogCancel":"Anulo","sidebarElectron.renameThreadDialogPlaceholder":"Shto një titull...","sidebarElectron.renameThreadDialogSave":"Ruaj","sidebarElectron.renameThreadDialogSubtitle":"Mbaje të shkurtër dhe të dallueshëm.","sidebarElectron.renameThreadDialogTitle":"Riemërto bashkëbisedimin","sidebarElectron.renameThreadError":"Bashkëbisedimi nuk u riemërtua","sidebarElectron.renameWorkspaceRootOptionLabel":"Emri i afishimit","sidebarElectron.showLess":"Shfaq më pak","sidebarElectron.showMenu.all":"Të gjitha bashkëbisedimet","sidebarElectron.showMenu.relevant":"I përshtatshëm","sidebarElectron.showMenu.relevantHint":"Shfaq vetëm bashkëbisedimet e fundit për degën aktuale, pemët e punës ose bashkëbisedimet e tjera që kanë nevojë për vëmendjen tënde","sidebarElectron.showMenu.title":"Shfaq","sidebarElectron.showMenu.tooltip":"Filtro, rendit dhe organizo bashkëbisedimet","sidebarElectron.showMenu.trigger":"Filtro bashkëbisedimet e shiritit anësor","sidebarElectron.showMore":"Shfaq më shumë","sidebarElectron.skillsRouteNavLink":"Aftësitë","sidebarElectron.sortMenu.created":"U krijua","sidebarElectron.sortMenu.title":"Rendit sipas","sidebarElectron.sortMenu.updated":"U përditësua","sidebarElectron.taskNavigation":"Dosjet e automatizimeve","sidebarElectron.tasksInFolder":"Automatizimet në {folder}","sidebarElectron.workspaceOptions":"Veprimet e projektit për {folder}","sidebarElectron.worktreeGroupTooltip":"Kjo është një hapësirë pune git","skills.appsPage.createSkill":"Aftësi e re","skills.appsPage.empty.skills":"Nuk u gjetën aftësi","skills.appsPage.search.skills":"Kërko aftësi","skills.appsPage.search.skills.label":"Kërko aftësi","skills.appsPage.section.installedApps":"Të instaluara","skills.appsPage.section.skills":"Aftësitë","skills.appsPage.subheading":"Jepi superfuqi Codex-it. <link>Mëso më shumë</link>","skills.appsPage.tab.recommended":"Rekomanduar","skills.appsPage.tab.skills":"Aftësitë","skills.card.contentsError":"Përmbajtja e aftësisë nuk u ngarkua.","skills.card.disable":"Çaktivizo","skills.card.disableSuccess":"Aftësia {skillName} u çaktivizua","skills.card.disabledBadge":"Çaktivizuar","skills.card.enable":"Aktivizo","skills.card.enableSuccess":"Aftësia {skillName} u aktivizua","skills.card.loadingContents":"Duke ngarkuar përmbajtjen e aftësisë...","skills.card.more":"Më shumë veprime","skills.card.open":"Hap","skills.card.removeFailed":"Aftësia nuk u çinstalua","skills.card.removeSuccess":"Aftësia {skillName} u çinstalua","skills.card.toggleEnabledError":"Aftësia nuk u përditësua","skills.card.try":"Provo","skills.card.trySkill":"Provo aftësinë","skills.card.uninstall":"Çinstalo","skills.hero.dotLabel":"Shko te diapozitivi {index}","skills.hero.next":"Aftësia tjetër e spikatur","skills.hero.trySkill":"Provo aftësinë","skills.page.createSkill":"Aftësi e re","skills.page.empty":"Nuk u gjetën aftësi","skills.page.filteredEmpty":"Asnjë aftësi nuk përputhet me filtrat e tu","skills.page.filteredEmptyDescription":"Provo të rregullosh filtrat e kërkimit ose të fushëveprimit","skills.page.heading":"Aftësitë","skills.page.loading":"Duke ngarkuar aftësitë...","skills.page.refreshSkills":"Rifresko","skills.page.refreshSkillsToUseNew":"Rifresko për të përdorur aftësinë(të) e re(ja)","skills.page.search":"Kërko aftësi","skills.page.search.label":"Kërko aftësi","skills.page.subheading":"Jepi superfuqi Codex-it. <link>Mëso më shumë</link>","skills.preview.copyPrompt":"Kopjo kërkesën","skills.preview.examplePrompt":"Shembull kërkese","skills.recommended.error":"Aftësitë e rekomanduara nuk u ngarkuan","skills.recommended.install":"Instalo","skills.recommended.installSkill":"Instalo aftësinë","skills.recommended.installSuccess":"Aftësia {skillName} u instalua","skills.recommended.installed":"Të instaluara","skills.scope.admin":"Administratori","skills.scope.adminInstalled":"Administratori u instalua","skills.scope.builtIn":"Sistemi","skills.scope.personal":"Personale","skills.scope.repo":"Arkivi","skills.scope.system":"Sistemi","skills.scope.team":"Ekip","skills.scope.user":"Përdorues","skills.section.installed":"Të instaluara","skills.section.recommended":"Të rekomanduara","story.slidingToggle.existing":"Ekzistuese","story.slidingToggle.fromLocal":"Nga mjedisi lokal","story.slidingToggle.new":"E re","story.slidingToggle.toLocal":"Në mjedisin lokal","terminal.close":"Mbyll terminalin","terminal.title":"Terminali","thinkingShimmer.default":"Duke u menduar","threadEnvIcon.cloudTooltip":"Kjo bisedë po ekzekutohet në Codex-im në renë kompjuterike.","threadEnvIcon.localTooltip":"Kjo bisedë po ekzekutohet lokalisht.","threadEnvIcon.worktreeTooltip":"Kjo bisedë po ekzekutohet në një pemë pune lokale në git.","threadHeader.archiveConfirmCancel":"Anulo","threadHeader.archiveConfirmConfirm":"Arkivo","threadHeader.archiveConfirmSubtitle":"Mund ta gjesh më vonë në bashkëbisedimet e tua të arkivuara.","threadHeader.archiveConfirmTitle":"Të arkivohet bashkëbisedimi?","threadHeader.copyAppLink":"Kopjo lidhjen e detajuar","threadHeader.copySessionId":"Kopjo ID-në e sesionit","threadHeader.copyWorkingDirectory":"Kopjo direktorinë e punës","threadHeader.forkIntoLocal":"Bigëzoje në mjedisin lokal","threadHeader.forkIntoWorktree":"Bigëzoje në një pemë pune të re","threadHeader.forkPendingWorktreePrompt":"Bigëzoje këtë bisedë në një pemë pune të re.","threadHeader.forkPendingWorktreeTitle":"Bisedë e bigëzuar","threadHeader.forkThreadError":"Dështoi që të bigëzojë bashkëbisedimin","threadHeader.forkThreadRequiresGitRepo":"Bigëzimi në një pemë pune të re kërkon një depo git","threadHeader.moreActions":"Veprimet e bashkëbisedimit","threadPage.newThread":"Bashkëbisedim i ri","threadPage.runAction.changeEnvironment":"Ndrysho mjedisin","threadPage.runAction.dropdown.titleWithEnvironment":"Veprimet në {environmentName}","threadPage.runAction.environmentSelector.label":"Zgjidh mjedisin","threadPage.runAction.label":"Ekzekuto","threadPage.runAction.missing.label":"Konfiguro një veprim ekzekutimi","threadPage.runAction.setup.commandLabel":"Komanda për të ekzekutuar","threadPage.runAction.setup.description":"Tregoji Codex-it si të instalosh varësitë dhe të nisësh aplikacionin tënd.","threadPage.runAction.setup.editMore":"Cilësimet e mjedisit","threadPage.runAction.setup.placeholder":"p.sh.: npm instalo npm ekzekuto","threadPage.runAction.setup.submit":"Ruaj dhe ekzekuto","threadPage.runAction.setup.title":"Ekzekuto","threadPage.runAction.tooltip.withEnvironment":"Veprimet në {environmentName}","threadPage.toggleDiffPanel":"Ndrysho panelin e diferencave","threadPage.toggleTerminal":"Ndrysho terminalin","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Hap dosjen","toolSummaryForCmd.exploredFiles":"<verb>Skedarët</verb> e listuar","toolSummaryForCmd.exploredFilesInPath":"<verb>Skedarët </verb> e listuar në {path}","toolSummaryForCmd.exploringFiles":"<verb>Duke listuar</verb> skedarët","toolSummaryForCmd.exploringFilesInPath":"<verb>Duke listuar</verb> skedarët në {path}","toolSummaryForCmd.ranGenericCommand":"<status>Komanda u ekzekutua</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>U ekzekutua</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Lexo</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Duke ekzekutuar komandën</status>{timer}","toolSummaryForCmd.runningTimer":"për {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Kërkoi</verb> për {query}","toolSummaryForCmd.searchedForFiles":"<verb>Kërkoi</verb> për skedarë","toolSummaryForCmd.searchedForInPath":"<verb>Kërkoi</verb> për {query} në {path}","toolSummaryForCmd.searchingFor":"<verb>Duke kërkuar</verb> për {query}","toolSummaryForCmd.searchingForFiles":"<verb>Duke kërkuar</verb> për skedarë","toolSummaryForCmd.searchingForInPath":"<verb>Duke kërkuar</verb> për {query} në {path}","traceRecording.details.noteLabel":"Çfarë po bëje kur ndodhi kjo? (opsionale)","traceRecording.details.notePlaceholder":"Navigova te një bashkëbisedim i madh, pastaj ndërrova skedat vazhdimisht…","traceRecording.details.submit":"Dërgo gjurmimin","traceRecording.details.subtitle":"Mund ta dërgojmë këtë gjurmim profili për të ndihmuar në diagnostikimin e problemeve të performancës.","traceRecording.details.title":"Të dërgohet gjurmimi i profilit?","traceRecording.progress.subtitle":"Mbaje Codex-in të hapur ndërsa përfundon kjo.","traceRecording.saving.title":"Duke ruajtur gjurmimin...","traceRecording.startDetails.cancel":"Anulo","traceRecording.startDetails.submit":"OK, nis regjistrimin","traceRecording.startDetails.subtitle":"Pasi të klikosh OK, riprodho problemin e performancës, pastaj kliko treguesin e kuq lundrues për të ndaluar dhe për të rishikuar gjurmimin.","traceRecording.startDetails.title":"Si funksionon regjistrimi i gjurmimit","traceRecording.stopButton.ariaLabel":"Ndalo regjistrimin e gjurmimit","traceRecording.upload.successToast":"Gjurmimi i profilit u dërgua.","traceRecording.uploading.title":"Duke ngarkuar gjurmimin…","wham.diff.addComment":"Shto koment","wham.diff.binaryFile":"Skedari binar nuk shfaqet","wham.diff.noContent":"Nuk ka përmbajtje","wham.fileTag.deleted":"U fshi","wham.fileTag.new":"I ri","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}o","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}mu","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}j","wham.formattedRelativeDateTime.compactYearsAgo":"{value}v","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Duke punuar me detyrën tënde","wham.whamProposedTask.title":"Detyra e sugjeruar","wham.whamProposedTask.useSuggestion":"Përdor sugjerimin","workspaceRootDialog.addError":"Projekti nuk u shtua","workspaceRootDialog.cancel":"Anulo","workspaceRootDialog.confirmAdd":"Shto një projekt","workspaceRootDialog.confirmPick":"Përdor një projekt","workspaceRootDialog.description":"Vendos një shteg në {host} për ta përdorur si projekt.","workspaceRootDialog.pathLabel":"Shtegu i projektit","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Shto shtegun e projektit","workspaceRootDialog.title.pick":"Zgjidh shtegun e projektit","worktreeInitV2.cancel":"Anulo","worktreeInitV2.notification.failedTitle":"Konfigurimi i pemës së punës dështoi","worktreeInitV2.output.empty":"Duke pritur rezultatin...","worktreeInitV2.status.error":"Konfigurimi i pemës së punës dështoi.","worktreeInitV2.status.running":"Duke krijuar një pemë pune dhe duke ekzekutuar konfigurimin.","worktreeInitV2.status.runningFork":"Duke krijuar një pemë pune për ta bigëzuar këtë bisedë.","worktreeInitV2.status.success":"Pema e punës është gati.","worktreeInitV2.title":"Duke krijuar pemën e punës","worktreeInitV2.workLocallyInstead":"Puno lokalisht në vend të kësaj","worktreeRestoreBanner.body":"Pema e punës e këtij bashkëbisedimi u hoq për të kursyer hapësirë ​​në disk","worktreeRestoreBanner.missing.body":"Direktoria e punës e këtij bashkëbisedimi nuk ekziston më","worktreeRestoreBanner.missing.title":"Mungon direktoria aktuale e punës","worktreeRestoreBanner.restore.error":"Pema e punës nuk mund të rikthehej: {message}","worktreeRestoreBanner.restore.success":"Pema e punës u rikthye","worktreeRestoreBanner.restoreCta":"Rikthe pemën e punës","worktreeRestoreBanner.title":"Pema e punës u pastrua"};Object.assign(e,globalThis.codexI18nOverrides?.["sq-AL"]);export{e as default};
 //# sourceMappingURL=sq-AL-Cw62qMGC.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Копирај","app.sidebar.hide":"Сакриј бочну траку","app.sidebar.show":"Прикажи бочну траку","app.sidebar.tooltip":"Укључи/искључи бочну траку","appHeader.installUpdate":"Ажурирај","appSunset.body":"Ова верзија апликације више није подржана. Преузми најновију верзију <here>овде</here>.","appSunset.title":"Неопходно је ажурирање","automation.updateDirective.create":"Направи","automation.updateDirective.open":"Отвори","automation.updateDirective.untitled":"Аутоматизација без назива","automation.updateDirective.update":"Ажурирај","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# покушај} few {# покушаја} other {# покушаја}}","cloudTaskRow.archiveError":"Архивирање задатка није успело","code.diff.requestChange":"Захтевај промену","code.diffComment.cancel":"Откажи","code.diffComment.comment":"Коментар","code.diffComment.delete":"Избриши","code.diffComment.save":"Сачувај","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Нема пријављених резултата.","codex.alert.closeAriaLabel":"Затвори","codex.appUpsellBanner.cbpApi.message":"Прави брже уз апликацију Codex. Преузми сада или {learnMoreLink}.","codex.appUpsellBanner.download":"Преузми","codex.appUpsellBanner.freeGo.message":"Codex је укључен у твој план до 2. марта. Испробај апликацију Codex и прави брже.","codex.appUpsellBanner.later":"Касније","codex.appUpsellBanner.learnMoreLowercase":"сазнај више","codex.appUpsellBanner.new":"Ново","codex.appUpsellBanner.proPlusBusiness.message":"Испробај апликацију Codex уз 2x мања ограничења брзине до 2. априла. Преузми сада или {learnMoreLink}.","codex.appUpsellBanner.title":"Апликација Codex","codex.applyDropdown.header.changes":"Промене","codex.applyDropdown.header.fileCount":"{count, plural, one {# датотека} few {# датотека} other {# датотека}}","codex.applyDropdown.header.rows":"реда(ова)","codex.applyDropdown.header.title":"Примени промене","codex.applyDropdown.header.workspace":"Пројекат","codex.applyDropdown.results.conflicted":"{count, plural, one {1 датотека садржи неусаглашеност:} few {{count} датотеке садрже неусаглашеност:} other {{count} датотека садржи неусаглашеност:}}","codex.applyDropdown.results.empty":"Ниједна датотека није копирана","codex.applyDropdown.results.skipped":"{count, plural, one {1 датотека је прескочена:} few {{count} датотеке су прескочене:} other {{count} датотека је прескочено:}}","codex.applyOrRevertBanner.apply":"Примени","codex.applyOrRevertBanner.applyMessage":"Применити промене и наставити локално?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Овај задатак је направљен у окружењу {environment}, па се можда неће применити без проблема.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Промене направљене у окружењу {environment} се можда неће применити без проблема.","codex.applyOrRevertBanner.reapply":"Поново примени","codex.applyOrRevertBanner.revert":"Врати","codex.applyOrRevertBanner.revertMessage":"Вратити примењене промене?","codex.applyResultsDialog.applied":"Примењено без проблема ({count})","codex.applyResultsDialog.close":"Затвори","codex.applyResultsDialog.conflicted":"Неусаглашено ({count})","codex.applyResultsDialog.noDetails":"Нема доступних детаља о датотеци.","codex.applyResultsDialog.skipped":"Прескочено ({count})","codex.applyResultsDialog.title":"Примени резултате","codex.archiveInfo":"Прикажи архивирана ћаскања на {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Контроле за податаке","codex.archiveInfo.electron":"Прикажи архивирана ћаскања на {settingsLink}","codex.archiveInfo.extension":"Прикажи архивирана ћаскања у .codex фасцикли.","codex.archiveInfo.settingsLink":"Подешавања","codex.banner.content.description":"Покрећи задатке паралелно, прати напредак било где и прегледај pull захтеве уз помоћ вештачке интелигенције.","codex.banner.content.headline":"Codex ради све.","codex.cloudTaskRow.archiveTask":"Архивирај задатак","codex.cloudTaskRow.confirmArchiveTask":"Потврди","codex.command.feedback":"Повратне информације","codex.command.findInThread":"Пронађи","codex.command.forceReloadSkills":"Принудно поново учитај вештине","codex.command.logOut":"Одјави ме","codex.command.manageTasks":"Управљај задацима","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Назад","codex.command.navigateForward":"Проследи","codex.command.newThread":"Нова нит","codex.command.nextThread":"Следећа нит","codex.command.openFolder":"Отвори фасциклу","codex.command.openSkills":"Иди на вештине","codex.command.openThreadOverlay":"Избаци низ","codex.command.personalitySettings":"Личност","codex.command.previousThread":"Претходна нит","codex.command.settings":"Подешавања","codex.command.toggleDiffPanel":"Укључи/искључи diff панел","codex.command.toggleSidebar":"Укључи/искључи бочну траку","codex.command.toggleTerminal":"Укључи/искључи терминал","codex.commandGroup.app":"Апликација","codex.commandGroup.configure":"Конфигуриши","codex.commandGroup.navigation":"Навигација","codex.commandGroup.panels":"Панели","codex.commandGroup.skills":"Вештине","codex.commandGroup.thread":"Нит","codex.commandGroup.workspace":"Пројекат","codex.commandMenu.noResults":"Нема подударања","codex.commandMenu.searchPlaceholder":"Команде за претрагу","codex.commandMenu.suggestedGroup":"Препоручено","codex.commandMenu.switchWorkspace":"Промени пројекат","codex.commandMenu.title":"Мени са командама","codex.common.retry":"Покушај поново","codex.composer.searchBranches":"Претражи огранке","codex.dialog.basic.body":"Ово је једноставан модални дијалог направљен помоћу нашег омотача око Radix Dialog компоненте.","codex.dialog.basic.cancel":"Откажи","codex.dialog.basic.confirm":"Потврди","codex.dialog.basic.open":"Отвори дијалог","codex.dialog.basic.title":"Пробни дијалог","codex.dialog.long.close":"Затвори","codex.dialog.long.line":"Линија која се може скроловати {index} ради приказа дугачког садржаја унутар дијалога.","codex.dialog.long.open":"Отвори дугачки дијалог","codex.dialog.long.title":"Дијалог са дугачким садржајем","codex.dialog.unstyled.body":"Ова прича показује како позиваоци могу у потпуности да контролишу стил садржаја дијалога.","codex.dialog.unstyled.open":"Отвори дијалог без стила","codex.dialog.unstyled.title":"Садржај без стила","codex.diff.openInEditorPrompt.openButton":"Отвори у уређивачу","codex.diff.openInEditorPrompt.singleLine":"Датотека је превелика за приказ овде.","codex.diffView.failedToDecodeBase64Diff":"Није успело декодирање base64 поређење","codex.diffView.filesChanged":"{fileCount, plural, one {# датотека је промењена} few {# датотеке су промењене} other {# датотека је промењено}}","codex.diffView.imagePreviewAlt":"Прелиминарни приказ слике","codex.diffView.imagePreviewEmpty":"Нема слике","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Нема разлика између упоређених верзија","codex.diffView.pdfPreview.nextPage":"Следећа страна","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Претходна страна","codex.diffView.pdfPreviewEmpty":"Нема PDF прегледа","codex.diffView.pdfPreviewError":"Није могуће рендеровати PDF преглед","codex.diffView.richPreviewDisable":"Онемогући детаљан преглед","codex.diffView.richPreviewEnable":"Омогући детаљан преглед","codex.diffView.richPreviewLoading":"Учитавање прегледа...","codex.diffView.richPreviewToggle":"Укључи/искључи детаљан преглед","codex.diffView.switchToUnified":"Пребаци на јединствени приказ","codex.environmentSelector.noEnvironment":"Нема окружења","codex.environments.environmentSettings":"Подешавања окружења","codex.environments.learnMore":"Сазнај више","codex.environments.listError":"Учитавање окружења није успело.","codex.environments.noEnvironmentsFound":"Окружења нису пронађена","codex.environments.searchError":"Није успела претрага окружења.","codex.errorBoundary.genericError":"Упс, дошло је до грешке","codex.errorBoundary.goHome":"Покушај поново","codex.file.patch.missing":"Није могуће направити закрпу за ову датотеку.","codex.gallery.automations.cwdLabel":"Пројекти","codex.gallery.automations.nameLabel":"Назив","codex.gallery.automations.namePlaceholder":"Резимирај задатак","codex.gallery.automations.promptLabel":"Промпт","codex.gallery.automations.promptPlaceholder":"Опиши шта би Codex требало да ради","codex.gallery.dialogs.automation.label":"Дијалог аутоматизације","codex.gallery.dialogs.basic.body":"Користи овај распоред за директне потврде или кратке верзије.","codex.gallery.dialogs.basic.cancel":"Откажи","codex.gallery.dialogs.basic.confirm":"Потврди","codex.gallery.dialogs.basic.label":"Основни дијалог","codex.gallery.dialogs.basic.title":"Пробни дијалог","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Опиши проблем","codex.gallery.dialogs.feedbackSubmission.bad":"Лош резултат","codex.gallery.dialogs.feedbackSubmission.bug":"Грешка","codex.gallery.dialogs.feedbackSubmission.good":"Добар резултат","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Укључи евиденције тренутне Codex сесије","codex.gallery.dialogs.feedbackSubmission.label":"Слање повратних информација","codex.gallery.dialogs.feedbackSubmission.other":"Друго","codex.gallery.dialogs.feedbackSubmission.placeholder":"Овде опиши проблем","codex.gallery.dialogs.feedbackSubmission.submit":"Пошаљи","codex.gallery.dialogs.feedbackSubmission.title":"Повратне информације","codex.gallery.dialogs.feedbackSuccess.body":"Повратне информације су отпремљене. Ако се проблем настави, отвори GitHub проблем или помени ИД нити у постојећем отвореном проблему:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Одбаци","codex.gallery.dialogs.feedbackSuccess.label":"Успех повратних информација","codex.gallery.dialogs.feedbackSuccess.title":"Повратне информације су отпремљене","codex.gallery.dialogs.gitApplyResults.applied":"Примењено без проблема (2)","codex.gallery.dialogs.gitApplyResults.close":"Затвори","codex.gallery.dialogs.gitApplyResults.conflicted":"Неусаглашено (1)","codex.gallery.dialogs.gitApplyResults.label":"Примени резултате","codex.gallery.dialogs.gitApplyResults.title":"Примени резултате","codex.gallery.dialogs.gitPushError.body":"Направи pull над најновијим променама или принудни push ако знаш да је безбедно заменити даљинску историју.","codex.gallery.dialogs.gitPushError.cancel":"Откажи","codex.gallery.dialogs.gitPushError.force":"Принудни push","codex.gallery.dialogs.gitPushError.label":"Push грешка","codex.gallery.dialogs.gitPushError.subtitle":"Огранак је иза огранка origin/main.","codex.gallery.dialogs.gitPushError.title":"Наредба push над променама није успела","codex.gallery.dialogs.gitRevert.cancel":"Откажи","codex.gallery.dialogs.gitRevert.confirm":"Врати","codex.gallery.dialogs.gitRevert.label":"Врати промене","codex.gallery.dialogs.gitRevert.skip":"Не питај поново","codex.gallery.dialogs.gitRevert.subtitle":"Ова радња уклања све те промене.","codex.gallery.dialogs.gitRevert.title":"Желиш ли да вратиш промене?","codex.gallery.dialogs.longForm.label":"Дугачка верзија дијалога","codex.gallery.dialogs.proseModal.body":"Овај стил модала се користи за дужа упутства, увођење или блокове обогаћеног садржаја.","codex.gallery.dialogs.proseModal.close":"Затвори","codex.gallery.dialogs.proseModal.subtitle":"Овде дели смернице или документацију за дужу верзију.","codex.gallery.dialogs.proseModal.title":"Prose модал","codex.gallery.dialogs.submitBlocked.label":"Пошаљи блокирано","codex.gallery.dialogs.submitBlocked.message":"Порука није послата јер пројекат није доступан.","codex.gallery.dialogs.submitBlocked.ok":"У реду","codex.gallery.dialogs.submitBlocked.title":"Није могуће послати поруку","codex.gallery.dialogs.title":"Дијалози","codex.gallery.dropdown.filterPlaceholder":"Филтрирај ставке","codex.gallery.dropdowns.actionRow":"Радови радњи","codex.gallery.dropdowns.actionRow.disabled":"Онемогућена радња","codex.gallery.dropdowns.actionRow.primary":"Примарна радња","codex.gallery.dropdowns.actionRow.secondary":"Секундарна радња","codex.gallery.dropdowns.actionRow.trigger":"Прикажи радње","codex.gallery.dropdowns.basic":"Основни падајући мени","codex.gallery.dropdowns.basic.newFile":"Нова датотека","codex.gallery.dropdowns.basic.newFolder":"Нови директоријум","codex.gallery.dropdowns.basic.openSettings":"Отвори подешавања","codex.gallery.dropdowns.basic.title":"Брзе радње","codex.gallery.dropdowns.basic.trigger":"Отвори мени","codex.gallery.dropdowns.basic.upload":"Отпремање","codex.gallery.dropdowns.panel":"Површина панела","codex.gallery.dropdowns.panel.apply":"Примени","codex.gallery.dropdowns.panel.body":"Прегледај diff-ове и примени на пројекат.","codex.gallery.dropdowns.panel.preview":"Преглед","codex.gallery.dropdowns.panel.title":"Примени промене","codex.gallery.dropdowns.panel.trigger":"Отвори панел","codex.gallery.dropdowns.search":"Падајући мени који се може претражити","codex.gallery.dropdowns.search.first":"Алфа-канал","codex.gallery.dropdowns.search.second":"Бета-огранак","codex.gallery.dropdowns.search.third":"Теоретска верзија","codex.gallery.dropdowns.search.trigger":"Филтрирај ставке","codex.gallery.dropdowns.submenu":"Падајући мени са подменијем","codex.gallery.dropdowns.submenu.optionA":"Пројекат алфа","codex.gallery.dropdowns.submenu.optionB":"Пројекат бета","codex.gallery.dropdowns.submenu.optionC":"Пројекат гама","codex.gallery.dropdowns.submenu.primary":"Додели власника","codex.gallery.dropdowns.submenu.secondary":"Премести у","codex.gallery.dropdowns.submenu.tertiary":"Архивирај","codex.gallery.dropdowns.submenu.trigger":"Одабери радњу","codex.gallery.dropdowns.title":"Падајући менији","codex.gallery.inbox.automations.close":"Затвори","codex.gallery.inbox.automations.popover.cardTitle":"Управљај аутоматизацијама","codex.gallery.inbox.automations.popover.dialogTitle":"Управљај аутоматизацијама","codex.header.settingsTooltip":"Подешавања","codex.hunk.patch.error":"Није постављено","codex.hunk.patch.missing":"Закрпа није направљена за овај hunk.","codex.hunk.patch.partialSuccess":"Делимичан успех","codex.hunk.patch.revertError":"Постављање није опозвано","codex.hunk.patch.revertSuccess":"Постављање је опозвано","codex.hunk.patch.success":"Успешно постављено","codex.legal.autonomy.details":"За више детаља погледај {link}","codex.legal.autonomy.details.link":"Codex документи","codex.legal.autonomy.title":"Одлучи колико аутономије желиш да дозволиш","codex.legal.backButton":"Назад","codex.legal.cloud.taskOne.meta":"openai/agi · 12. октобар","codex.legal.cloud.taskOne.title":"Објасни спремиште новом дизајнеру","codex.legal.cloud.taskThree.meta":"openai/codex · 8. октобар","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Направи тему у тамном режиму","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. октобар","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Поправи грешку у процесу увођења","codex.legal.continue.apikey":"Настави","codex.legal.continueButton":"Даље","codex.legal.copilot.details":"Користи Copilot план за све позиве модела, обрачун и ограничења брзине. Употреба Codex екстензије подлеже и {oaiTos} и {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Услови коришћења услуге за GitHub","codex.legal.copilot.oaiTosLink":"Услови коришћења услуге за OpenAI Codex","codex.legal.copilot.title":"Покреће GitHub Copilot","codex.legal.mistakes.review":"Прегледај код који пише и команде које извршава","codex.legal.mistakes.title":"Codex може да прави грешке","codex.legal.powered.details":"Користи ограничења брзине твог плана и {link}","codex.legal.powered.details.link":"жељене поставке података обуке","codex.legal.powered.title":"Покреће га твој ChatGPT налог","codex.legal.step.cloud.subtitle":"Пошаљи задатке Codex-у да се извршавају у позадини како би могао да останеш фокусиран и радиш брже.","codex.legal.step.cloud.title":"Пребаци Codex-у у облаку","codex.legal.step.intro.subtitle":"Codex се креће кроз спремиште, уређује, покреће команде и извршава тестове директно унутар твог спремишта. Покреће га твој ChatGPT налог.","codex.legal.step.intro.title":"Codex у твом IDE окружењу","codex.legal.step.todo.subtitle":"Напиши TODO коментар и једним кликом га претвори у Codex задатак.","codex.legal.step.todo.title":"Претвори TODO задатке у Codex задатке","codex.legal.todo.heading":"// TODO: implement schema","codex.localConversation.closeImagePreview":"Затвори преглед слике","codex.localConversation.userImageAttachment":"Кориснички прилог","codex.localTaskRow.archiveTask":"Архивирај нит","codex.localTaskRow.awaitingApproval":"Чека се одобрење","codex.localTaskRow.awaitingResponse":"Чека се одговор","codex.localTaskRow.confirmArchiveTask":"Потврди","codex.loggedOut.apiKeyPrompt.cancel":"Откажи","codex.loggedOut.apiKeyPrompt.confirm":"У реду","codex.loggedOut.apiKeyPrompt.getKey":"Набави API кључ","codex.loggedOut.apiKeyPrompt.inputLabel":"Унеси свој OpenAI API кључ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Задаци облака су онемогућени када се користи API кључ","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Задаци облака су онемогућени када се користи Copilot и API кључ","codex.loggedOut.signIn":"Пријави се користећи ChatGPT","codex.loggedOut.signIn.cancel":"Откажи пријављивање","codex.loggedOut.signInWithCopilot":"Пријави се користећи GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Користи API кључ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Алатка {tool} MCP сервера {server}","codex.mcpTool.collapsedLabel.verb.called":"Позвано","codex.mcpTool.collapsedLabel.verb.calling":"Позивање","codex.mcpTool.embeddedResource.contentLabel":"Садржај","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME тип","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Алатка није вратила никакав садржај","codex.mcpTool.rawPayloadHeading":"Корисни проток позива алатке {server}.{tool}","codex.menu.recent":"Недавно","codex.menu.seeAllHistory":"Прегледај комплетну историју","codex.modelCapacityBanner.headline.noReset":"Сав капацитет модела {modelName} је тренутно заузет. Покушај поново касније или започни нови разговор користећи други модел.","codex.modelCapacityBanner.headline.withReset":"Сав капацитет модела {modelName} је тренутно заузет. Покушај поново након {resetDate} или започни нови разговор користећи други модел.","codex.modelCapacityBanner.title":"Сав капацитет изабраног модела је заузет","codex.patch.change.contentsDeleted":"Садржај је избрисан","codex.patch.change.created":"Направљено","codex.patch.change.created-file":"Датотека је направљена","codex.patch.change.creating":"Прави се","codex.patch.change.deleted":"Избрисано","codex.patch.change.deleted-file":"Датотека је избрисана","codex.patch.change.deleting":"Брисање","codex.patch.change.edited":"Измењено","codex.patch.change.edited-file":"Измењена датотека","codex.patch.change.editing":"Уношење измена","codex.patch.change.noChanges":"Нема промена","codex.patch.change.rejected-add":"Одбијено","codex.patch.change.rejected-delete":"Одбијено","codex.patch.change.rejected-edit":"Одбијено","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} од {total} задатака је завршено","codex.plan.todoListCreated":"Листа задатака је креирана са следећим бројем задатака: {total}","codex.profileDropdown.apiKeyAuth":"Пријављено уз API кључ","codex.profileDropdown.codexSettings":"Подешавања Codex-а","codex.profileDropdown.copilotAuth":"Пријављен уз Copilot","codex.profileDropdown.defaultAccountTitle":"Подразумевани налог","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter за слање дугачких промптова","codex.profileDropdown.enterBehaviorError":"Ажурирање подешавања није успело","codex.profileDropdown.getPlus":"Надогради за мања ограничења","codex.profileDropdown.keyboardShortcuts":"Тастерске пречице","codex.profileDropdown.language":"Језик","codex.profileDropdown.languageDefault":"Аутоматскo откривање","codex.profileDropdown.languageSearchPlaceholder":"Претражи језике","codex.profileDropdown.languageUpdateError":"Језик није ажуриран","codex.profileDropdown.logOut":"Одјави ме","codex.profileDropdown.mcp":"MCP подешавања","codex.profileDropdown.openConfigToml":"Отвори config.toml","codex.profileDropdown.openConfigToml.wsl":"Отвори config.toml у WSL окружењу","codex.profileDropdown.openExtensionSettings":"Отвори подешавања","codex.profileDropdown.openMcpSettings":"Отвори MCP подешавања","codex.profileDropdown.openOnStartup":"Отвори при покретању","codex.profileDropdown.openOnStartupError":"Ажурирање подешавања није успело","codex.profileDropdown.openSkillsSettings":"Отвори подешавања вештина","codex.profileDropdown.personalAccountTitle":"Лични налог","codex.profileDropdown.queueFollowUps":"Ставке дубљег испитивања у ред","codex.profileDropdown.queueFollowUpsError":"Ажурирање подешавања није успело","codex.profileDropdown.readDocs":"Прочитај документе","codex.profileDropdown.readSkillsDocs":"Прочитај документе","codex.profileDropdown.runInWsl":"Покрени у WSL","codex.profileDropdown.runInWslError":"Ажурирање подешавања није успело","codex.profileDropdown.runInWslTooltip":"Покреће Codex унутар WSL-а. Препоручује се ради побољшане безбедности sandbox окружења и бољих перформанси.","codex.profileDropdown.settings":"IDE подешавања","codex.profileDropdown.settingsPage":"Подешавања","codex.profileDropdown.signInWithOpenAI":"Пријави се користећи ChatGPT","codex.profileDropdown.skills":"Подешавања вештина","codex.profileDropdown.switchToCopilotAccount":"Користи Copilot налог","codex.profileDropdown.switchToOpenAIAccount":"Користи OpenAI налог","codex.profileDropdown.todoCodelens":"Реши TODO коментаре","codex.profileDropdown.todoCodelensError":"Ажурирање подешавања није успело","codex.profileDropdown.windowsDocumentation":"Windows документација","codex.profileFooter.signedInFallback":"Подешавања","codex.profileFooter.upgrade":"Надогради","codex.recentTasksMenu.clearSearch":"Обриши претрагу","codex.recentTasksMenu.cloud":"Задаци у облаку","codex.recentTasksMenu.count":"{count, plural, =0 {Ниједан задатак није у току} one {# задатак у току} few {# задатка у току} other {# задатака у току}}","codex.recentTasksMenu.empty":"Још нема преписки","codex.recentTasksMenu.errorCloud":"Није успело учитавање задатака.","codex.recentTasksMenu.errorCloud.inline":"Није успело учитавање задатака у облаку.","codex.recentTasksMenu.filterAll":"Све","codex.recentTasksMenu.filterCloudTasks":"Филтрирај задатке у облаку","codex.recentTasksMenu.filterTooltip":"Филтрирај задатке по окружењу","codex.recentTasksMenu.local":"Локални задаци","codex.recentTasksMenu.recent":"Сви задаци","codex.recentTasksMenu.search":"Претражи недавне задатке","codex.recentTasksMenu.searchEmpty":"Нема резултата","codex.recentTasksMenu.tooltip":"Историја задатка","codex.recentTasksMenu.trigger":"Недавни задаци. {count, plural, one {# у току} few {# у току} other {# у току}}","codex.remoteConversation.applyDiff.applyCta":"Примени промене","codex.remoteConversation.applyDiff.dropdownTitle":"Примени промене на локални огранак","codex.remoteConversation.applyDiff.revertCta":"Врати промене","codex.remoteConversation.closeImagePreview":"Затвори преглед слике","codex.remoteConversation.codexCloudTask":"Прегледате задатак у <u>Codex облаку</u>","codex.remoteConversation.errorWithMessage":"Грешка: {message}","codex.remoteConversation.loadingImage":"Учитавање слике","codex.remoteConversation.openInWeb":"Отвори на вебу","codex.remoteConversation.streaming":"Први кораци","codex.remoteConversation.turnFailed":"Дошло је до грешке током овог задатка","codex.remoteConversation.turnTab.loading":"Покушај {number}","codex.remoteConversation.turnTab.title":"Покушај {number}","codex.remoteConversation.userImageAttachment":"Кориснички прилог","codex.remoteConversation.viewPreviousTurns":"Отвори на вебу","codex.remoteConversation.viewPreviousTurns.buttonText":"Отвори","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Отвори на вебу","codex.review.copyGitApplyCommand":"Копирај команду git apply","codex.review.copyGitApplyCommand.toast":"Команда git apply је копирана у привремену меморију","codex.review.diffTooLarge.description":"Овај diff је превелики за приказ у прегледу.","codex.review.diffTooLarge.title":"Diff је превелики за приказ","codex.review.expandOrCollapseDiffButton.collapse":"Скупи све разлике","codex.review.expandOrCollapseDiffButton.expand":"Прошири све разлике","codex.review.expandOrCollapseDiffMenu.collapse":"Скупи све diff-ове","codex.review.expandOrCollapseDiffMenu.expand":"Прошири све diff-ове","codex.review.fileSearch.clear":"Обриши филтер датотека","codex.review.fileSearch.empty":"Ниједна датотека не одговара тренутном филтеру.","codex.review.fileSearch.label":"Филтрирање датотека","codex.review.fileSearch.placeholder":"Филтрирање датотека...","codex.review.filesChanged":"{num, plural, =0 {Ниједна датотека није промењена} one {# датотека је промењена} few {# датотека је промењено} other {# датотека је промењено}}","codex.review.find.loadMore":"Учитај још подударања","codex.review.fullReview.hideFileTree":"Сакриј стабло датотеке","codex.review.fullReview.showFileTree":"Прикажи стабло датотеке","codex.review.header.moreOptions":"Опције прегледа","codex.review.largeDiff.banner":"Откривен је велики diff – приказује се једна по једна датотека.","codex.review.loadFullFiles.disable":"Не учитавај целе датотеке","codex.review.loadFullFiles.enable":"Учитавај целе датотеке","codex.review.noDiff":"Промене датотеке ће се приказати овде","codex.review.noDiff.gitInit.createRepository":"Направи Git спремиште","codex.review.noDiff.gitInit.creating":"Прављење...","codex.review.noDiff.gitInit.error":"Git init није успео: {message}","codex.review.noDiff.gitInit.success":"Git спремиште је направљено","codex.review.noDiff.gitRepoRequired.description":"Прати и опозови промене у овом пројекту","codex.review.noDiff.gitRepoRequired.title":"Направи Git спремиште","codex.review.noDiff.orNoLongerAvailable":"или најновији diff-ови више нису доступни","codex.review.noDiff.reverted":"Последњи корак је враћен","codex.review.noDiff.revertedOrCommitted":"Последњи корак је враћен или примењен","codex.review.refreshGitQueries":"Освежи","codex.review.revert.file.error":"Није враћено на путањи {path}","codex.review.revert.file.partialSuccess":"Делимично је враћено на путањи {path}","codex.review.revert.file.success":"Враћено је на путањи {path}","codex.review.revert.hunk.error":"Није враћен hunk {hunkNumber} на путањи {path}","codex.review.revert.hunk.partialSuccess":"Делимично је враћен hunk {hunkNumber} на путањи {path}","codex.review.revert.hunk.success":"Враћен је hunk {hunkNumber} на путањи {path}","codex.review.revert.section.error":"Одељак није враћен","codex.review.revert.section.partialSuccess":"Одељак је делимично враћен","codex.review.revert.section.success":"Одељак је враћен","codex.review.revertDialog.cancel":"Откажи","codex.review.revertDialog.confirm":"Потврди","codex.review.revertDialog.message":"Ова радња уклања све те промене.","codex.review.revertDialog.skip":"Не питај поново","codex.review.revertDialog.title":"Желиш ли да вратиш промене?","codex.review.richPreview.disable":"Онемогући детаљан преглед","codex.review.richPreview.enable":"Омогући детаљан преглед","codex.review.source.cloud":"Промене у облаку","codex.review.source.local.all":"Промене свих огранака","codex.review.source.local.lastTurn":"Промене у последњем кругу","codex.review.source.local.uncommitted":"Неуписане промене","codex.review.source.worktree":"За промене стабла рада није издата команда committ","codex.review.stageFilter.empty.staged.description":"Прихвати измене и постави их","codex.review.stageFilter.empty.staged.title":"Нема постављених промена","codex.review.stageFilter.empty.unstaged.description":"Промене кода ће се приказати овде","codex.review.stageFilter.empty.unstaged.title":"Нема непостављених промена","codex.review.stageFilter.staged":"Постављено","codex.review.stageFilter.staged.count":"Постављено · {count}","codex.review.stageFilter.unstaged":"Није постављено","codex.review.stageFilter.unstaged.count":"Није постављено · {count}","codex.review.switchToSplit":"Пребаци на подељени diff","codex.review.switchToUnified":"Пребаци на обједињени diff","codex.review.toggleDiffView":"Укључи/искључи приказ diff-а","codex.review.wordDiffs.disable":"Онемогући diff-ове за речи","codex.review.wordDiffs.enable":"Омогући diff-ове за речи","codex.review.wrap.disable":"Онемогући пребацивање речи у следећи ред","codex.review.wrap.enable":"Омогући пребацивање речи у следећи ред","codex.section.patch.missing":"Закрпа није направљена за овај одељак.","codex.shell.collapse":"Скупи командну линију","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Копиран је садржај командне линије","codex.shell.copy.copyTooltip":"Копирај садржај командне линије","codex.shell.copyCommand":"Команда за копирање","codex.shell.copyOutput":"Излаз копирања","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Развиј командну линију","codex.shell.name":"Командна линија","codex.shell.noOutput":"Нема излаза","codex.signInFailed.message":"Пријава није успела: {rawMessage}","codex.stories.toast.show":"Прикажи поздрав","codex.stories.tooltip.basic":"Ово је савет за алатку","codex.stories.tooltip.hoverMe":"Задржи курсор изнад мене","codex.stories.tooltip.largerOffset":"Овај облачић с објашњењем има веће померање","codex.stories.tooltip.offsetButton":"Веће померање","codex.stories.tooltip.shortcutButton":"Уз пречицу","codex.stories.tooltip.withShortcut":"Укључи/искључи терминал","codex.taskRow.title":"Нова нит","codex.taskRowLayout.confirm":"Потврди","codex.threadFindBar.chatFilter":"Претражи ћаскање","codex.threadFindBar.close":"Затвори проналажење","codex.threadFindBar.diffFilter":"Претражи diff-ове","codex.threadFindBar.label":"Пронађи у нити","codex.threadFindBar.nextResult":"Следећи резултат","codex.threadFindBar.noResults":"0 резултата","codex.threadFindBar.placeholder":"Претражи нит…","codex.threadFindBar.placeholder.extension":"Претражи нит…","codex.threadFindBar.placeholder.review":"Претражи diff...","codex.threadFindBar.placeholder.review.extension":"Претражи diff...","codex.threadFindBar.previousResult":"Претходни резултат","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# датотека је промењена} few {# датотеке су промењене} other {# датотека је промењено}}","codex.unifiedDiff.inlineLargeFile":"Превелико за приказивање унутар редова","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Опозови","codex.unifiedDiff.revertPatchError":"Није успело враћање промена","codex.unifiedDiff.revertPatchSuccess":"Помене су враћене","codex.unifiedDiff.reviewChangesSuffix":"промене","codex.unifiedDiff.reviewShort":"Прегледај","codex.unifiedDiff.viewDiffTooltip":"Прегледај","codex.upsellBanner.business.headline":"Сада можеш да добијеш даљи приступ ако пошаљеш захтев администратору. Можеш и да чекаш до {resetDate}","codex.upsellBanner.cbp.headline":"Сада можеш да добијеш даљи приступ ако пошаљеш захтев администратору.","codex.upsellBanner.cta.addCredits":"Додај кредите","codex.upsellBanner.cta.upgradeAccount":"Надогради","codex.upsellBanner.cta.viewUsage":"Прикажи коришћење","codex.upsellBanner.free.trialHeadline":"Ограничење ће се ресетовати {resetDate}. Ако желиш да наставиш да користиш Codex и добијеш приступ за GPT-5.3-Codex, започни бесплатну пробу плана Plus већ данас.","codex.upsellBanner.freeOrGo.headline":"Ограничење брзине се ресетује {resetDate}. Ако желиш да наставиш да користиш Codex, надогради на Plus данас.","codex.upsellBanner.general.headline":"Ограничење брзине се ресетује {resetDate}.","codex.upsellBanner.general.title":"Понестало ти је Codex порука","codex.upsellBanner.go.trialHeadline":"Ограничење ће се ресетовати {resetDate}. Ако желиш да наставиш да користиш Codex, започни бесплатну пробу плана Plus већ данас. ","codex.upsellBanner.plus.headline":"Ограничење брзине се ресетује {resetDate}. Ако желиш да наставиш да користиш Codex, додај кредите или надогради на Pro данас.","codex.upsellBanner.pro.headline":"Ограничење брзине се ресетује {resetDate}. Додај кредите ако желиш да наставиш да користиш Codex одмах.","codex.userMessage.autoResolveSync":"Аутоматски разреши неусаглашености","codex.userMessage.commentCount":"{count, plural, one {# коментар} few {# коментара} other {# коментара}}","codex.userMessage.copiedAriaLabel":"Копирано","codex.userMessage.copiedTooltip":"Копирано","codex.userMessage.copyAriaLabel":"Копирај поруку","codex.userMessage.copyTooltip":"Копирај","codex.userMessage.implementPlan":"Примени план","codex.userMessage.noContent":"(Нема садржаја)","codex.userMessage.priorConversation":"Упућује на претходни разговор","codex.userMessage.reviewMode":"Режим прегледа","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"за {query}","codex.webSearch.summary.verb.completed":"Претрага веба је завршена","codex.webSearch.summary.verb.inProgress":"Претрага веба је у току","codex.windowsInstallWslBanner.dismiss":"Одбаци","codex.windowsInstallWslBanner.installWslCta":"Омогући sandbox","codex.windowsInstallWslBanner.learnMore":"Сазнај више","codex.windowsSandboxBanner.content":"Режим агента користи експериментални sandbox на Windows оперативном систему како би ограничио приступ систему датотека и мрежним ресурсима.{sandboxLink}","codex.windowsSandboxBanner.title":"Омогући sandbox за режим агента","codex.windowsSubDropdown.windowsSandbox":"Windows кутија за песак","codex.windowsSubDropdown.windowsSettings":"Windows подешавања","codexUpgradeModal.body":"Наш најновији водећи агентски модел за кодирање – паметнији, бржи и способнији за опште техничке послове. {link}","codexUpgradeModal.close":"Затвори","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Сазнај више","codexUpgradeModal.title":"Представљамо GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Испробај GPT-5.3-Codex сада","codexUpgradeModal.useExistingModel":"Настави са тренутним моделом","commentAttachments.numComments":"{count, plural, one {# коментар} few {# коментара} other {# коментара}}","commentAttachments.removeAriaLabel":"Уклони прилог с коментарима","common.close":"Затвори","composer.addContext.openFilePickerError":"Није могуће отворити бирач датотека","composer.addContextDropdown.ariaLabel":"Додај датотеке и друго","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Додај датотеке и друго","composer.addPhotosAndFiles":"Додај фотографије и датотеке","composer.atMentionList.emptyQuery":"Откуцај да претражиш датотеке","composer.atMentionList.loading":"Претраживање...","composer.atMentionList.noResults":"Нема резултата","composer.attemptsSelector.option":"{count, plural, one {# верзија} few {# верзије} other {# верзија}}","composer.attemptsSelector.tooltip":"Број паралелних покушаја које Codex треба да изврши","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Заустави","composer.cloudFollowUp.cloud":"Облак","composer.cloudFollowUp.local":"Локална","composer.cloudFollowUp.whereRun":"Где би овај накнадни корак требало да се изврши?","composer.cloudTaskCreationError":"Грешка при прављењу задатка у облаку","composer.cloudTaskError":"Грешка при прављењу задатка","composer.contextWindow.autoCompactionTooltipLine1":"Codex аутоматски сабија свој контекст","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Прозор контекста:","composer.contextWindowUsageStatusFull":"{usage}% пуна","composer.contextWindowUsageStatusLeft":"{usage}% је коришћено ({remaining}% је преостало)","composer.contextWindowUsageTooltip":"{usedTokens} хиљада / {contextWindow} хиљада токена је коришћено","composer.customCliTooltip":"Коришћење прилагођеног извршног програма CLI интерфејса","composer.dictation.aria":"Диктирај","composer.dictation.cancel.aria":"Прекини диктирање","composer.dictation.cancel.tooltip":"Прекини диктирање","composer.dictation.startError":"Покретање диктата није могуће","composer.dictation.submit.aria":"Транскрибуј и пошаљи","composer.dictation.submit.tooltip":"Транскрибуј и пошаљи","composer.dictation.tooltip":"Задржи и диктирај","composer.dictation.transcribeError":"Транскрипција звука није могућа","composer.dictation.unsupported":"Диктат није доступан на овом уређају","composer.dropOverlay.holdShift":"Задржи {key} за испуштање","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Направи ново","composer.environmentSelector.error":"Грешка при учитавању окружења","composer.environmentSelector.goBack":"Назад на композитор","composer.environmentSelector.title":"Изабери окружење","composer.environmentSelector.tooltip":"Изабери окружење у облаку","composer.feedbackSlashCommand.title":"Повратне информације","composer.filePicker.selectFile":"Изабери датотеку","composer.filePicker.selectFiles":"Бирање датотека","composer.followerTooltip":"Ако желиш да наставиш, врати се на прозор у коме је овај разговор почео.","composer.footer.branchSwitch.checkoutError":"Огранак није промењен: {message}","composer.footer.branchSwitch.createAndCheckout":"Направи и обави checkout новог огранка…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Изврши commit над променама да направиш нови огранак и његов checkout","composer.footer.branchSwitch.createBranchError":"Прављење огранка није успело: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Назив огранка","composer.footer.branchSwitch.createDialog.branchExistsError":"Огранак већ постоји.","composer.footer.branchSwitch.createDialog.close":"Затвори","composer.footer.branchSwitch.createDialog.createAndCheckout":"Направи и обави checkout","composer.footer.branchSwitch.createDialog.placeholder":"нови огранак","composer.footer.branchSwitch.createDialog.title":"Направи и обави checkout огранка","composer.footer.branchSwitch.createDialog.trailingSlashError":"Назив огранка не може да се завршава на „/”","composer.footer.branchSwitch.tooltip":"Промени огранак","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Изврши команду commit над променама у {fileCount, plural, one {# датотека} few {# датотека} other {# датотека}} како би се обавио check out огранка {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"променама у {fileCount, plural, one {# датотека} few {# датотека} other {# датотека}} како би се обавио check out огранка {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Откажи","composer.footer.branchSwitch.uncommittedDialog.commit":"Изврши команду commit и промени огранак…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Твоје промене следећих датотека би биле замењене за checkout:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Изврши команду commit над променама и настави","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"изабрани огранак","composer.footer.branchSwitch.uncommittedDialog.title":"Изврши команду commit над променама и промени огранак","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Нема commit-а: {fileCount, plural, one {# датотека} few {# датотека} other {# датотека}}","composer.forkSlashCommand.description":"Додатно копирај ову нит локално или на ново стабло рада","composer.forkSlashCommand.option.local.description":"Настави у новој локалној нити","composer.forkSlashCommand.option.local.title":"Додатно копирај локално","composer.forkSlashCommand.option.worktree.description":"Настави на новом стаблу рада","composer.forkSlashCommand.option.worktree.title":"Форкуј на ново стабло рада","composer.forkSlashCommand.title":"Форкуј","composer.ideContextIndicator":"Контекст IDE окружења","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Укључи контекст из IDE-а","composer.ideContextIndicator.tooltipToggle":"за укључивање/искључивање","composer.ideContextSlashCommand.disableDescription":"Искључи IDE контекст","composer.ideContextSlashCommand.enableDescription":"Укључи тренутни избор, отворене датотеке и други контекст из IDE окружења","composer.ideContextSlashCommand.title":"Контекст IDE окружења","composer.imageInputsUnsupported":"Овај модел не подржава уносе слика. Испробај други модел.","composer.imageUploadFailed":"Није успело отпремање слике","composer.includeIdeContextDropdown":"Укључи IDE контекст","composer.includeIdeContextDropdown.ariaLabel":"Укључи IDE контекст","composer.localCwdDropdown.addWorkspaceRoot":"Додај нови пројекат","composer.localCwdDropdown.noActiveRoot":"Изабери пројекат","composer.localCwdDropdown.noResults":"Није пронађена ниједна фасцикла","composer.localCwdDropdown.title":"Изабери пројекат","composer.localTaskError":"Грешка при покретању разговора","composer.mcpSlashCommand.description":"Прикажи статус MCP сервера","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Није аутентификован","composer.mcpStatus.authOauth":"Аутентификован (OAuth)","composer.mcpStatus.authToken":"Аутентификован (API кључ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Затвори","composer.mcpStatus.disabled":"Онемогућено","composer.mcpStatus.emptyLabel":"Сервери:","composer.mcpStatus.emptyValue":"Није конфигурисан ниједан MCP сервер.","composer.mcpStatus.enabled":"Омогућено","composer.mcpStatus.errorLabel":"Статус:","composer.mcpStatus.errorValue":"Учитавање статуса MCP није могуће","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Промени модел","composer.mode.agentMode.custom":"Прилагођено","composer.mode.agentMode.custom.dropdownLabel":"Прилагођено","composer.mode.agentMode.custom.option":"Прилагођено (config.toml)","composer.mode.agentMode.custom.optionLabel":"Прилагођено (config.toml)","composer.mode.agentMode.customInfo.cancel":"Откажи","composer.mode.agentMode.customInfo.cli":"Можеш да подесиш та подешавања преко CLI-ја или директно изменом датотеке.","composer.mode.agentMode.customInfo.confirm":"Користи прилагођени режим","composer.mode.agentMode.customInfo.description":"Прилагођени режим примењује правила за одобравање и sandbox политику дефинисане у твојој<link>config.toml</link> датотеци.","composer.mode.agentMode.customInfo.docs":"Сазнај више о подешавању правила за одобравање и sandbox политика у<link>документима о извршном окружењу</link>.","composer.mode.agentMode.customInfo.refresh":"Све промене ступају на снагу следећи пут када агент буде покренут.","composer.mode.agentMode.customInfo.title":"Како прилагођени режим ради","composer.mode.agentMode.fullAccess":"Агент (пуни приступ)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (пуни приступ)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (пуни приступ)","composer.mode.agentMode.fullAccessConfirm.caution":"Поступај опрезно када укључујеш пун приступ. То значајно повећава ризик од губитка података, цурења информација или неочекиваног понашања.","composer.mode.agentMode.fullAccessConfirm.confirm":"Да, свакако настави","composer.mode.agentMode.fullAccessConfirm.description":"Када Codex ради са пуним приступом, може да мења било коју датотеку на твом рачунару и да покреће команде које користе мрежу, без твог одобрења.","composer.mode.agentMode.fullAccessConfirm.goBack":"Откажи","composer.mode.agentMode.fullAccessConfirm.title":"Омогућити пуни приступ?","composer.mode.agentMode.readOnly":"Ћаскање","composer.mode.agentMode.readOnly.dropdownLabel":"Ћаскање","composer.mode.agentMode.readOnly.optionLabel":"Ћаскање","composer.mode.agentMode.tooltip":"Промени режим","composer.mode.agentMode.tooltip.auto":"Читај и мењај датотеке и покрећи команде.","composer.mode.agentMode.tooltip.custom":"Користи најновија правила за одобравање и sandbox политике дефинисане у config.toml датотеци.","composer.mode.agentMode.tooltip.fullAccess":"Codex може да мења датотеке ван пројекта и да покреће команде са мрежним приступом. Поступај опрезно приликом коришћења.","composer.mode.agentMode.tooltip.readOnly":"Захтева одобрење за измену датотека и покретање команди.","composer.mode.cloud.tooltip":"Ради у окружењу у облаку","composer.mode.contactAdmin":"За додатни приступ, обрати се администратору","composer.mode.local":"Локални","composer.mode.local.learnMore":"Сазнај више","composer.mode.local.model.custom":"Прилагођено","composer.mode.local.model.loadingModel":"Учитавање модела","composer.mode.local.model.selecrReasoningEffort":"Изабери размишљање","composer.mode.local.model.selectModel":"Изабери модел","composer.mode.local.model.tooltip":"Изабери модел","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Висока","composer.mode.local.reasoning.low.label":"Низак","composer.mode.local.reasoning.medium.label":"Средњи","composer.mode.local.reasoning.minimal.label":"Минимално","composer.mode.local.reasoning.none.label":"Ниједан","composer.mode.local.reasoning.xhigh.label":"Изузетно велико","composer.mode.localRemoteWhereRun":"Изабери где би требало да се врати задатак","composer.mode.newTask.header":"Настави у","composer.mode.rateLimit.day":"{days} д.","composer.mode.rateLimit.heading":"Преостала ограничења","composer.mode.rateLimit.hour":"{hours} ч.","composer.mode.rateLimit.minute":"{minutes} мин.","composer.mode.rateLimit.modelSectionLabel":"Ограничење модела {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {седмично ограничење} few {{weeks} седмично ограничење} other {{weeks} седмична ограничења}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Седмично} few {{weeks} седмице} other {{weeks} седмица}}","composer.mode.remote.connectToCloud":"Повежи Codex веб","composer.mode.remote.connectToCloudDisabledTooltip":"Подеси окружење преко Codex веба да омогућиш слање задатака у облак","composer.mode.remote.selectEnvironment":"Изабери окружење","composer.mode.remote.sendToCloud":"Пошаљи у облак","composer.mode.remote.setupViaWeb":"Подеси окружење преко Codex веба","composer.mode.runInCloud":"Облак","composer.mode.runInCloudWithEnvironment":"Облак · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Рад у окружењу у облаку","composer.mode.segmentedToggle.local.tooltip":"Ради на локалном пројекту","composer.mode.segmentedToggle.worktree.tooltip":"Рад у паралелном стаблу посла","composer.mode.upgradeToPlus":"Надогради на план Plus","composer.mode.upgradeToPro":"Надогради на Pro","composer.mode.workLocally":"Локални пројекат","composer.mode.workLocally.currentBranchFallback":"твој огранак","composer.mode.workLocally.tooltip":"Ради на огранку {branchName}","composer.mode.worktree":"Нови worktree","composer.mode.worktree.submoduleWarning":"Ово спремиште има git подмодуле. Прављење стабла рада можда неће успети","composer.mode.worktree.tooltip":"Направи копију локалног пројекта и ради паралелно у њему","composer.mode.worktreeSegment":"Стабло рада","composer.modelChangeDuringConversationWarning.toast":"Мењање модела усред разговора ће смањити учинак.","composer.newChat.heading.browser":"Шта ћемо даље да кодирамо?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex користи дозволе дефинисане у config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex има потпуни приступ твом рачунару (повећан ризик)","composer.permissionsDropdown.custom.label":"Прилагођено (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Прилагођено (config.toml)","composer.permissionsDropdown.default.label":"Подразумеване дозволе","composer.permissionsDropdown.default.optionLabel":"Подразумеване дозволе","composer.permissionsDropdown.default.tooltip":"Codex аутоматски покреће команде у режиму безбедног извршавања","composer.permissionsDropdown.disabled.requirements":"Дозволе закључава requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Датотека requirements.toml је онемогућила пун приступ","composer.permissionsDropdown.fullAccess.label":"Пун приступ","composer.permissionsDropdown.fullAccess.optionLabel":"Пун приступ","composer.permissionsDropdown.trigger.tooltip":"Промени дозволе","composer.personalitySlashCommand.description.friendly":"Топла, кооперативна и од помоћи","composer.personalitySlashCommand.description.pragmatic":"Сажета, сконцентрисана на задатак и директна","composer.personalitySlashCommand.label.friendly":"Пријатељски","composer.personalitySlashCommand.label.pragmatic":"Практично","composer.personalitySlashCommand.notApplicableSuffix":"(Не важи за тренутни модел)","composer.personalitySlashCommand.title":"Личност","composer.placeholder.cloudFollowUp.directFollowUp":"Додатни поступак за овај задатак у облаку","composer.placeholder.cloudFollowUp.local":"Направи нови локални задатак који упућује на овај задатак у облаку","composer.placeholder.cloudFollowUp.workingTree":"Направи нови задатак у облаку који обухвата твој тренутни код и упућује на овај задатак","composer.placeholder.localFollowUp.cloud":"Реагуј даље у новом задатку у облаку","composer.placeholder.localFollowUp.locally":"Тражи даље реаговање за промене","composer.placeholder.newTask.cloud":"Тражи да Codex уради било шта у облаку","composer.placeholder.newTask.doAnything":"Тражи да Codex било шта уради","composer.placeholder.newTask.locally":"Питај Codex било шта, користи @ да додаш датотеке, а / за команде","composer.planModeDropdown":"Режим плана","composer.planModeDropdown.ariaLabel":"Режим плана","composer.planModeIndicator":"План","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Направи план уз Codex","composer.planModeIndicator.tooltipToggle":"за укључивање/искључивање","composer.planSlashCommand.disableDescription":"Искључи режим плана","composer.planSlashCommand.enableDescription":"Укључи режим плана","composer.planSlashCommand.title":"Режим плана","composer.priorContext.label":"Претходни контекст","composer.priorContext.removeAriaLabel":"Уклони претходни контекст","composer.queuedMessage.delete":"Избриши поруку у реду","composer.queuedMessage.edit":"Измени поруку","composer.queuedMessage.more":"Радње с порукама у реду","composer.queuedMessage.sendNow":"Усмери","composer.queuedMessage.sendNowTooltip":"Пошаљи сада и не прекидај рад","composer.queuedMessage.turnOff":"Искључи стављање у ред","composer.reasoningEffort.local.reasoning.tooltip":"Изабери размишљање","composer.remote.branchStartingPoint":"Од ког огранка овај задатак треба да почне?","composer.remote.branchesSectionHeading":"Огранци","composer.remote.currentEditsSuffix.followUp":"Креирај нови задатак који упућује на овај задатак у облаку.","composer.remote.currentEditsSuffix.useLocal":"уз промене локалног кода","composer.remote.directFollowUp":"Не користи промене локалног кода","composer.remote.errorLoadingBranches":"Грешка при учитавању огранака","composer.remote.fromBranch":"Од огранка {branch}","composer.remote.fromCurrentBranch":"Од огранка {branch} (тренутног)","composer.remote.loadingMoreBranches":"Учитавање...","composer.remote.localFileStateHeading":"Статус локалне датотеке","composer.remote.localWorkingTree":"Користи локалне промене","composer.remote.startingPoint":"Од ког кода овај задатак треба да почне?","composer.reviewMode.branches.error":"Није могуће учитати огранке","composer.reviewMode.branches.retry":"Покушај поново","composer.reviewMode.gitRoot.error":"Git коренски директоријум није пронађен","composer.reviewMode.option.baseBranch.simple":"Прегледај у односу на основни огранак","composer.reviewMode.option.unstaged.simple":"Прегледај неуписане промене","composer.reviewMode.quickReviewError":"Покретање прегледа кода није успело.","composer.reviewMode.title":"Преглед кода","composer.sandboxButton.unlock.disabled.tooltip":"Датотека requirements.toml је онемогућила пун приступ","composer.sandboxButton.windowsSandboxDialog.content":"Codex може да користи експериментални режим безбедног извршавања у ОС Windows како би ограничио приступ систему датотека и мрежним ресурсима.{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Желиш ли да омогућиш експериментални режим безбедног извршавања у ОС Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Користи само за читање","composer.searchEnvironments":"Претражи окружења","composer.skillMentionList.app":"Апликација","composer.skillMentionList.loading":"Учитавање вештина...","composer.skillMentionList.noResults":"Није пронађена ниједна вештина","composer.slashCommands.cloudEnvironment.title":"Окружење у облаку","composer.slashCommands.dialogLabel":"Мени са „slash“ командама","composer.slashCommands.dialogTitle":"Slash команде","composer.slashCommands.disabledTooltip":"Почни нови разговор да би користио „slash“ команде","composer.slashCommands.inputPlaceholder":"Претражи","composer.slashCommands.noResults":"Нема команди","composer.slashCommands.skillsGroup":"Вештине","composer.slashCommands.tooltip":"Потражи slash команде","composer.status.close":"Затвори","composer.statusPlain.alertLabel":"Упозорење:","composer.statusPlain.alertValue":"{remaining}% је преостало за {window}","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count} хиљ.","composer.statusPlain.contextValueMetadata":"(искоришћено {used} / {total})","composer.statusPlain.contextValueRemaining":"Преостало је {remaining}%","composer.statusPlain.heading":"Статус","composer.statusPlain.modelRateLimitSectionLabel":"Ограничење модела {modelName}:","composer.statusPlain.rateLimitDays":"Ограничење је {count} d.","composer.statusPlain.rateLimitFallbackLabel":"Ограничење тарифе:","composer.statusPlain.rateLimitHours":"Ограничење је {count}h","composer.statusPlain.rateLimitLabelBase":"Ограничење тарифе","composer.statusPlain.rateLimitMinutes":"Ограничење је {count} m","composer.statusPlain.rateLimitPercent":"Преостало је {remaining}%","composer.statusPlain.rateLimitReset":"ресетује се у{time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"време ресетовања није доступно","composer.statusPlain.rateLimitUnavailable":"Није доступно","composer.statusPlain.sessionCopiedAriaLabel":"ИД сесије је копиран","composer.statusPlain.sessionCopiedTooltip":"ИД је копиран","composer.statusPlain.sessionCopyAriaLabel":"Копирај ИД сесије","composer.statusPlain.sessionCopyTooltip":"Копирај ИД","composer.statusPlain.sessionLabel":"Сесија:","composer.statusSlashCommand.description":"Прикажи ИД нити, употребу контекста и ограничења тарифе","composer.statusSlashCommand.title":"Статус","composer.submit.blockedDialogOk":"У реду","composer.submit.blockedDialogTitle":"Није могуће послати поруку","composer.submit.emptyMessage":"Уђи у поруку за почетак","composer.submit.imageInputsUnsupported":"Уклони слике или промени моделе ради слања ове поруке.","composer.submit.loadingLocalConfig":"Учитавање...","composer.submit.missingCloudConfig":"Мораш изабрати окружење у облаку","composer.submit.missingCloudTurn":"Није могуће пратити овај задатак","composer.submit.noWorkspace":"Додај пројекат ако желиш да користиш Codex","composer.submit.waitForImageUploads":"Отпремање слика…","composer.submitButtonTooltip.send":"Пошаљи","composer.submitButtonTooltip.stop":"Заустави","composer.worktreeEnvironment.create":"Направи локално окружење","composer.worktreeEnvironment.default":"Подразумевано окружење","composer.worktreeEnvironment.error":"Грешка при учитавању окружења","composer.worktreeEnvironment.loading":"Учитавање окружења...","composer.worktreeEnvironment.title":"Локално окружење","composer.worktreeEnvironment.tooltip":"Изабери локално окружење","composer.worktreeSetupFailed":"Стабло рада није подешено. Провери скрипту за подешавање у .codex/environments.","compoundButton.secondaryAction":"Секундарна радња","copyButton.copied":"Копирано","copyButton.copiedAriaLabel":"Копирано","copyButton.copy":"Копирај","copyButton.copyAriaLabel":"Копирај","copyButton.copyCode":"Копирај код","diff.actionButton.revertFile":"Врати датотеку","diff.actionButton.revertHunk":"Врати","diff.actionButton.revertSection":"Врати све","diff.actionButton.revertSectionLabel":"Врати све","diff.actionButton.stageFile":"Постави датотеку","diff.actionButton.stageHunk":"Постави","diff.actionButton.stageSection":"Постави све","diff.actionButton.stageSectionLabel":"Постави све","diff.actionButton.unstageFile":"Опозови постављање датотеке","diff.actionButton.unstageHunk":"Опозови постављање","diff.actionButton.unstageSection":"Опозови постављање свега","diff.actionButton.unstageSectionLabel":"Опозови постављање свега","diff.fileHeader.toggle":"Укључи/искључи diff датотеке","electron.onboarding.login.apikey.cancel":"Откажи","electron.onboarding.login.apikey.continue":"Настави","electron.onboarding.login.apikey.label":"OpenAI API кључ","electron.onboarding.login.apikey.open":"Унеси API кључ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Откажи пријављивање","electron.onboarding.login.chatgpt.continue":"Настави користећи ChatGPT","electron.onboarding.login.devbox":"Повежи на удаљени SSH","electron.onboarding.login.error":"Пријава није успела: {rawMessage}","electron.onboarding.login.snake.start":"Играј Змију","electron.onboarding.login.sshConfig.cancel":"Откажи","electron.onboarding.login.sshConfig.continue":"Настави","electron.onboarding.login.sshConfig.hostnameLabel":"Назив хоста за SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Најбољи начин за прављење помоћу агената","electron.onboarding.login.title":"Желимо ти добродошлицу у Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Настави","electron.onboarding.welcome.doubleLimits.description":"Славимо излазак апликације Codex, па имаш 2× мања ограничења брзине до 2. априла.","electron.onboarding.welcome.freego.description":"Codex је бесплатно укључен у твој план до 2. марта – хајде да почнемо да правимо заједно.","electron.onboarding.welcome.new.title.anon":"Желимо ти добродошлицу!","electron.onboarding.workspace.continue":"Настави","electron.onboarding.workspace.empty":"Додај пројекат ако желиш да наставиш.","electron.onboarding.workspace.listLabel":"Доступни пројекти","electron.onboarding.workspace.loading":"Учитавање пројеката...","electron.onboarding.workspace.openFolder":"Додај пројекат","electron.onboarding.workspace.selectAll":"Изабери све","electron.onboarding.workspace.skip":"Прескочи","electron.onboarding.workspace.skip.error":"Прављење новог пројекта није било могуће: {message}","electron.onboarding.workspace.skip.error.unknown":"Непозната грешка","electron.onboarding.workspace.skipping":"Прављење новог пројекта...","electron.onboarding.workspace.subtitle":"Codex ће моћи да мења датотеке и покреће команде у изабраним фасциклама.","electron.onboarding.workspace.title":"Изабери пројекат","errorPage.list.checkSettings":"Пробај да ажурираш IDE подешавања","errorPage.list.configToml":"Провери свој config.toml да ли садржи неважећа подешавања","errorPage.list.downloadExtension":"Пробај да преузмеш другу верзију екстензије","errorPage.list.runInWsl":"Провери своја подешавања да онемогућиш покретање у WSL-у ако примећујеш проблеме са компатибилношћу","execApprovalRequest.menu.runAlways":"Да, и немој више да питаш током ове сесије","execApprovalRequest.menu.runAlwaysWithAmendment":"Да, и не питај поново за команде које почињу са {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Да, и не питај поново за команде које почињу са","execApprovalRequest.menu.runOnce":"Да","execApprovalRequest.prompt":"Желиш ли да извршиш ову команду?","execApprovalRequest.reject":"Не","execFooter.exitCode":"Излазни код {code}","execFooter.exitCode.unknown":"непознат","execFooter.success":"Успело је","feedback.dialog.category.badResult":"Лош резултат","feedback.dialog.category.bug":"Грешка","feedback.dialog.category.goodResult":"Добар резултат","feedback.dialog.category.other":"Друго","feedback.dialog.descriptionPlaceholder":"Овде опиши проблем","feedback.dialog.dismiss":"Одбаци","feedback.dialog.includeLogsLabel":"Укључи евиденције тренутне Codex сесије","feedback.dialog.submit":"Пошаљи","feedback.dialog.submitError":"Нисмо могли да пошаљемо твоје повратне информације. Покушај поново за тренутак.","feedback.dialog.title":"Повратне информације","feedback.dialog.uploadedMessage.existingIssue":"постојећи отворени проблем","feedback.dialog.uploadedMessage.openIssue":"отвори GitHub проблем","feedback.dialog.uploadedMessage.withThread":"Повратне информације су отпремљене. Ако се проблем настави, {openIssueLink} или помени ИД нити на {existingIssueLink}:","feedback.dialog.uploadedTitle":"Повратне информације су отпремљене","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Уклони {filename}","header.back":"Назад","header.recentChats":"Задаци","header.recentTasks.seeAll":"Прикажи све ({total})","home.header.getPlus":"Набави план Plus","home.hero.letsBuild":"Хајде да правимо","homePage.mainContent":"Главни садржај","imageAttachment.defaultName":"слика","imageAttachment.preview.close":"Затвори преглед слике","imageAttachment.removeAriaLabel":"Уклони {filename}","implementPlanRequest.option.implement":"Да, примени овај план","implementPlanRequest.prompt":"Желиш ли да примениш овај план?","inbox.archived.deleteError":"Брисање архивираног извршавања није успело","inbox.archived.deleteRun":"Архивирано извршавање је избрисано","inbox.archived.deleteSuccess":"Архивирана нит је избрисана. Прикажи у оквиру <settingsLink>Архивираних нити</settingsLink>.","inbox.archived.inlineLabel.auto":"Ова нит је аутоматски архивирана. <learnMoreLink>Сазнај више</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ова нит је архивирана.","inbox.archived.noMessageFound":"Није пронађена ниједна порука","inbox.automations.createError":"Прављење аутоматизације није било могуће","inbox.automations.deleteConfirm.cancel":"Откажи","inbox.automations.deleteConfirm.confirm":"Избриши аутоматизацију","inbox.automations.deleteConfirm.description":"Ово ће трајно избрисати аутоматизацију и зауставити сва покретања у будућности.","inbox.automations.deleteConfirm.title":"Желиш ли да избришеш {name}?","inbox.automations.deleteError":"Брисање аутоматизације није успело","inbox.automations.editTooltip":"Измени аутоматизацију","inbox.automations.inProgress":"У току","inbox.automations.new":"Ново","inbox.automations.newToolbar":"Нова аутоматизација","inbox.automations.pauseTooltip":"Паузирај аутоматизацију","inbox.automations.resumeTooltip":"Настави аутоматизацију","inbox.automations.startingNow":"Сада се покреће","inbox.automations.startsIn":"Почиње за {startTime}","inbox.automations.status.active":"Активно","inbox.automations.status.paused":"Паузирано","inbox.automations.status.runs":"Број покретања: {count}","inbox.automations.status.started":"Започета {date}","inbox.automations.updateError":"Ажурирање аутоматизације није било могуће","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Све","inbox.filter.ariaLabel":"Филтрирај ставке у пријемном сандучету","inbox.filter.unread":"Непрочитано","inbox.list.archived":"Архивирано","inbox.list.inProgress":"У току","inbox.list.recent":"Завршено","inbox.list.upNext":"Планирани","inbox.mode.automations":"Аутоматизације","inbox.mode.automations.beta":"Бета","inbox.noDescription":"Није наведен опис","inbox.openThread":"Отвори преписку","inbox.rightPanel.emptySubtitle":"Аутоматизуј рад тако што ћеш подесити заказане задатке","inbox.rightPanel.emptySubtitle.learnMore":"Аутоматизуј рад тако што ћеш подесити заказане нити. <link>Сазнај више</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# активна аутоматизација} few {# активне аутоматизације} other {# активних аутоматизација}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Нема непрочитаних аутоматизација","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# непрочитана аутоматизација} few {# непрочитане аутоматизације} other {# непрочитаних аутоматизација}}","inbox.rightPanel.emptyTitle":"Није изабрана ниједна ставка","inbox.rightPanel.noThread":"Нема преписке за ову ставку","inbox.rightPanel.quickStart.header":"Почни од шаблона","inbox.untitled":"Ставка у пријемном сандучету без наслова","loadingPage.documentationLink":"документација","loadingPage.errorDescription":"Codex је престао са радом са следећом грешком:","loadingPage.errorDescription.documentation":"Кликни на „учитај поново“ да поново покренеш Codex екстензију, или посети наш {documentationLink} ради додатне помоћи.","loadingPage.errorSignal":"Ствари које можеш да пробаш:","loadingPage.errorTitle":"Дошло је до грешке","loadingPage.openConfigToml":"Отвори config.toml","loadingPage.reload":"Учитај поново","localConversation.contextCompacted":"Контекст је аутоматски сабијен","localConversation.contextCompacting":"Контекст се аутоматски сабија","localConversation.forkedFromConversation":"Форковано из нити {threadTitle}","localConversation.merge.autoResolve.failed":"Захтев за аутоматско разрешење није послат: {error}","localConversation.merge.autoResolve.sent":"Захтев за аутоматско разрешење је послат","localConversation.merge.autoResolveMerge.missingConversation":"Аутоматско разрешење није могуће без активног разговора.","localConversation.merge.autoResolveMerge.request":"Аутоматски разреши неусаглашености током спајања","localConversation.modelChanged":"Модел је промењен из {fromModel} у {toModel}.","localConversation.modelChanged.warning.line1":"Мењање модела усред разговора ће смањити учинак.","localConversation.modelChanged.warning.line2":"Контекст може бити аутоматски сабијен.","localConversation.moveThread.createBranch.label":"Направи огранак","localConversation.moveToLocal.disabled.loading":"Учитавање...","localConversation.moveToLocal.modal.continue":"Настави","localConversation.moveToLocal.modal.destinationLabel":"Премести у","localConversation.moveToLocal.modal.retry":"Покушај поново","localConversation.moveToWorktree.modal.back":"Назад","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Огранак већ постоји.","localConversation.moveToWorktree.modal.branchesError":"Није могуће учитати огранке","localConversation.moveToWorktree.modal.branchesLoading":"Учитавање огранака...","localConversation.moveToWorktree.modal.branchesRetry":"Покушај поново","localConversation.moveToWorktree.modal.continue":"Настави","localConversation.moveToWorktree.modal.retry":"Покушај поново","localConversation.moveToWorktree.modal.trailingSlashError":"Назив огранка не може да се завршава на „/”","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"нови огранак","localConversation.personalityChanged":"Личност је пребачена на: {personality}","localConversation.planSummary.collapse":"Скупи резиме плана","localConversation.planSummary.collapseTooltip":"Скупи","localConversation.planSummary.download":"Преузми план","localConversation.planSummary.expand":"Прошири резиме плана","localConversation.planSummary.expandTooltip":"Прошири","localConversation.planSummary.openInNewWindow":"Отвори","localConversation.planSummary.openInNewWindow.tooltip":"Отвори у новом прозору","localConversation.planSummary.title":"План","localConversation.planSummary.titleWriting":"План за писање","localConversation.planSummary.viewPlan":"Прошири план","localConversation.remoteTaskCreated":"Направљено {taskLink} у Codex облаку","localConversation.remoteTaskCreated.task":"задатак","localConversation.scrollToBottomButton":"Спусти приказ на дно","localConversation.sync.buttonLabel":"Предај у локал","localConversation.sync.buttonLabel.tooltip":"Индиректне промене између овог стабла рада и локалног checkout-а.","localConversation.sync.modal.loading.title":"Предавање промена…","localConversation.sync.modal.noChanges":"Нема промена","localConversation.syncSetup.branchAriaLabel":"Назив огранка","localConversation.syncSetup.branchName":"Назив огранка","localConversation.syncSetup.branchPlaceholder.existing":"Изабери постојећи огранак","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Учитавање огранака...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Check out је већ направљен","localConversation.syncSetup.checkoutClean":"Тренутно у огранку {branchName}","localConversation.syncSetup.checkoutDirty":"Тренутно у огранку {branchName} са променама без commit-а","localConversation.syncSetup.checkoutError":"Check out огранка није обављен: {message}","localConversation.syncSetup.checkoutLabel":"Направи локални check out сада","localConversation.syncSetup.checkoutOnLocal":"Предај у локал","localConversation.syncSetup.checkoutPending":"Проверавање локалног статуса…","localConversation.syncSetup.checkoutUnavailable":"Локална радна површина није доступна","localConversation.syncSetup.checkoutUnknown":"Локални огранак није доступан","localConversation.syncSetup.continue":"Настави","localConversation.syncSetup.createBranchError":"Огранак за предају није подешен: {message}","localConversation.syncSetup.error":"Нешто није у реду: {message}","localConversation.syncSetup.error.workingTreeMissing":"Снимање стабла рада није било могуће. Поново покушај предавање.","localConversation.syncSetup.mode.ariaLabel":"Изабери режим огранка","localConversation.syncSetup.mode.existing":"Постојећи огранак","localConversation.syncSetup.mode.new":"Нови огранак","localConversation.syncSetup.noBranches":"Нема пронађених огранака","localConversation.syncSetup.overwriteError":"Огранак је направљен, али није у потпуности предат. Предај га ручно пре локалног check out-a.","localConversation.syncSetup.setPrefix":"Подеси префикс","localConversation.syncSetup.subtitle":"Локално тестирај и измени промене стабла рада. <a>Сазнај више</a>","localConversation.syncSetup.success.checkedOut":"Огранак је направљен уз локални check out","localConversation.syncSetup.success.notCheckedOut":"Огранак је направљен","localConversation.syncSetup.title":"Предај локалном огранку","localConversation.syncWorktreeError.branchAriaLabel":"Назив огранка","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Одабери огранак за предају, а затим поново покушај да учиташ промене.","localConversation.syncWorktreeError.branchSetup.title":"Ажурирај огранак","localConversation.syncWorktreeError.branchUpdate.cta":"Ажурирај и покушај поново","localConversation.syncWorktreeError.branchUpdate.error":"Огранак није ажуриран: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Нешто није у реду: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Check out огранка није направљен ни на једном стаблу рада.","localConversation.syncWorktreeV2.applyUncommitted":"Примени","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Мораш да направиш локални check out огранка ако желиш да примениш промене без commit-а","localConversation.syncWorktreeV2.branches.empty":"Нема пронађених огранака","localConversation.syncWorktreeV2.branches.loading":"Учитавање огранака...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Промени огранак за предају","localConversation.syncWorktreeV2.changeBranch.error":"Огранак за предају није промењен: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Није примењено","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Замена стабла рада није успело","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Замена локалних промена није успела","localConversation.syncWorktreeV2.commandError.back":"Назад","localConversation.syncWorktreeV2.commandError.body":"Git команда није успела током предаје. Прегледај излаз и покушај поново.","localConversation.syncWorktreeV2.commandError.retry":"Покушај поново","localConversation.syncWorktreeV2.description":"Предаја се мења између локала и овог стабла рада <a>Сазнај више</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Изабери смер предаје","localConversation.syncWorktreeV2.error.generic":"Нешто није било у реду током предаје. Покушај поново.","localConversation.syncWorktreeV2.localBranchLabel":"Локални","localConversation.syncWorktreeV2.noChanges":"Израчунавање промена","localConversation.syncWorktreeV2.noChanges.summary":"Нема промена","localConversation.syncWorktreeV2.overwrite.local":"Замени локалне промене","localConversation.syncWorktreeV2.overwrite.worktree":"Замени стабло рада","localConversation.syncWorktreeV2.partial.action.applyFailed":"Промене нису примењене","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Замена локалних промена није била могућа","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Замена промена стабла рада није била могућа","localConversation.syncWorktreeV2.partial.appliedLabel":"Примењено","localConversation.syncWorktreeV2.partial.back":"Назад","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Разреши неусаглашености и покушај поново.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Неусаглашености","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# датотека} few {# датотека} other {# датотека}}","localConversation.syncWorktreeV2.partial.retry":"Покушај поново","localConversation.syncWorktreeV2.partial.skippedLabel":"Прескочено:","localConversation.syncWorktreeV2.stateFailed.generic":"Нешто није било у реду приликом преузимања промена стабла рада за предају. Покушај поново.","localConversation.syncWorktreeV2.stateFailed.title":"Промене стабла рада нису учитане","localConversation.syncWorktreeV2.statusError.diffUnknown":"Промене стабла рада нису учитане.","localConversation.syncWorktreeV2.statusError.retry":"Покушај поново","localConversation.syncWorktreeV2.statusError.title":"Учитавање промена локалног огранка није могуће","localConversation.syncWorktreeV2.statusError.unknown":"Статус огранка тренутно није доступан. Покушај поново.","localConversation.syncWorktreeV2.success.apply":"Промене су примењене","localConversation.syncWorktreeV2.success.overwrite":"Предаја је успела","localConversation.syncWorktreeV2.title":"Промене предаје","localConversation.syncWorktreeV2.worktreeLabel":"Стабло рада","localConversation.userInputRequest.inProgress":"Постављ(ју) се: {count, plural, one {питање} few {питања} other {питања}}","localConversation.userInputRequest.noAnswer":"Нису пружени одговори","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Постављено:","localConversation.userInputRequest.summary.count":"{count, plural, one {# питање} few {# питања} other {# питања}}","localConversation.workedFor":"Радио {time}","localConversation.worktreeBranchSetup.action.create":"Направи","localConversation.worktreeBranchSetup.branchAriaLabel":"Назив огранка","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Направи нови огранак","localConversation.worktreeBranchSetup.checkoutDisabled":"Check out огранка је већ направљен на локацији {location}","localConversation.worktreeBranchSetup.checkoutError":"Check out огранка није обављен: {message}","localConversation.worktreeBranchSetup.createBranchError":"Огранак није подешен: {message}","localConversation.worktreeBranchSetup.error":"Нешто није у реду: {message}","localConversation.worktreeBranchSetup.subtitle":"Направи огранак да извршиш commit и push над променама и направиш pull захтев са овог стабла рада. <a>Сазнај више</a>","localConversation.worktreeBranchSetup.title":"Ради овде","localConversationPage.addWorktreeToSidebar.tooltip":"Сачувај као пројекат и започни нове нити са овог стабла рада","localConversationPage.addWorktreeToSidebarError":"Пројекат није додат","localConversationPage.commitAndCreatePrModal.errorTitle":"Извршавање наредбе commit и прављење pull захтева није успело","localConversationPage.commitAndCreatePrModal.successTitle":"Наредба commit је извршена и pull захтев је направљен","localConversationPage.commitAndPushModal.errorTitle":"Извршавање наредби commit и push није успело","localConversationPage.commitAndPushModal.successTitle":"Наредбе commit и push су извршене над променама","localConversationPage.commitCreatePr.open":"Отвори pull захтев","localConversationPage.commitCreatePr.successTitle":"Направљен је pull захтев са твојим најновијим променама","localConversationPage.createBranchButtonLabel":"Направи огранак одавде","localConversationPage.createPrModal.baseBranch":"Основа","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Направи pull захтев","localConversationPage.createPrModal.createDescription":"Отвори pull захтев за најновије промене.","localConversationPage.createPrModal.errorTitle":"Pull захтев није успео","localConversationPage.createPrModal.headBranch":"Заглавље","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Отвори pull захтев","localConversationPage.createPrModal.successTitle":"Pull захтев је направљен","localConversationPage.createPrModal.title":"Направи pull захтев","localConversationPage.createPrModal.viewDescription":"Pull захтев већ постоји за овај огранак.","localConversationPage.createPrModal.viewTitle":"Pull захтев је спреман","localConversationPage.createPullRequestAuthGh":"Потврди идентитет GitHub CLI интерфејса: покрени „gh auth login“","localConversationPage.createPullRequestBranchMissing":"Информације о огранку нису доступне","localConversationPage.createPullRequestButtonLabel":"Направи pull захтев","localConversationPage.createPullRequestButtonLabel.loading":"Прави се pull захтев...","localConversationPage.createPullRequestDefaultBranchMissing":"Информације о подразуменавом огранку нису доступне","localConversationPage.createPullRequestError":"Pull захтев није направљен","localConversationPage.createPullRequestExistingPullRequest":"Pull захтев већ постоји за овај огранак","localConversationPage.createPullRequestGhStatusMissing":"Статус учитавања GitHub CLI интерфејса…","localConversationPage.createPullRequestInstallGh":"Инсталирај GitHub CLI (gh) за прављење pull захтева","localConversationPage.createPullRequestNoRepo":"Није нађено ниједно git спремиште","localConversationPage.createPullRequestPushStatusMissing":"Учитава се push статус...","localConversationPage.createPullRequestSetUpstream":"Изврши наредбу push над овим огранком, па онда направи pull захтев","localConversationPage.createPullRequestSuccessToast":"Pull захтев је направљен","localConversationPage.createPullRequestSwitchBranch":"Провери огранак функције пре него што направиш pull захтев","localConversationPage.error.render":"Грешка при приказивању локалног разговора","localConversationPage.error.toast":"Разговор није пронађен","localConversationPage.forcePushError":"Принудни push није успео","localConversationPage.generatePullRequestMessageError":"Наслов и садржај pull захтева нису генерисани","localConversationPage.generatePullRequestMessageFailed":"Наслов и садржај pull захтева нису генерисани.","localConversationPage.gitActionResult.branch":"Огранак","localConversationPage.gitActionResult.cancel":"Откажи","localConversationPage.gitActionResult.close":"Затвори","localConversationPage.gitActionResult.tryAgain":"Покушај поново","localConversationPage.gitActions":"Git радње","localConversationPage.newChat":"Ново ћаскање","localConversationPage.openInTarget":"Отвори користећи","localConversationPage.openPrimaryTarget":"Отвори","localConversationPage.planItemsCompleted":"{completedItems} од {totalItems, plural, one {# задатак је завршен} few {# задатка су завршена} other {# задатака је завршено}}","localConversationPage.pushAuthError":"Push није успео: потребна је потврда идентитета","localConversationPage.pushBranchMissing":"Информације о огранку нису доступне","localConversationPage.pushButtonLabel":"Системске поруке","localConversationPage.pushButtonLabel.loading":"Извршавање команде push...","localConversationPage.pushError":"Наредба push над променама није успела","localConversationPage.pushModal.branchLabel":"Огранак","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Откажи","localConversationPage.pushModal.confirm":"Системске поруке","localConversationPage.pushModal.description":"Изврши команду push за најновије наредбе commit у удаљено спремиште.","localConversationPage.pushModal.errorTitle":"Push није успело","localConversationPage.pushModal.forcePush":"Принудни push","localConversationPage.pushModal.successTitle":"Push је завршен","localConversationPage.pushModal.title":"Изврши команду push над променама","localConversationPage.pushModal.tryAgain":"Покушај поново","localConversationPage.pushNoUpstream":"Подеси главни огранак пре примене наредбе push за овај огранак","localConversationPage.pushNoUpstreamError":"Push није успео: главни огранак није конфигурисан","localConversationPage.pushNothingToPush":"Ниједан нови commit не чека на наредбу push","localConversationPage.pushRemoteChangedError":"Push није успео: нове commit наредбе на даљинском огранку","localConversationPage.pushRemoteRejectedError":"Даљински огранак је одбио push","localConversationPage.pushStatusMissing":"Учитава се push статус...","localConversationPage.pushSuccessToast":"Промене на које је примењена команда push","localConversationPage.viewPullRequestButtonLabel":"Прикажи pull захтев","localConversationPage.viewPullRequestButtonLabel.loading":"Учитава се pull захтев...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# датотека} few {# датотека} other {# датотека}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# листа} few {# листе} other {# листа}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# претрага} few {Претрага: #} other {Претрага: #}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Истраживање","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Истражено","localConversationTurn.exploration.accordion.header.complete.withCounts":"Истражено: {counts}","localConversationTurnStory.showContent":"Прикажи садржај","localConversationTurnStory.streamContent":"Стримуј садржај","localConversationTurnStory.toggleReasoning":"Прикажи размишљање","localTaskRow.archiveError":"Није успело архивирање разговора","localTaskRow.resumeError":"Није успело настављање задатка","mermaidDiagram.ariaLabel":"Mermaid дијаграм","mermaidDiagram.copySource":"Копирај mermaid","mermaidDiagram.originalCode":"Mermaid изворни код","notifications.permissions.description":"Прикажи упозорења када су потребне дозволе за обавештавање","notifications.permissions.label":"Омогући обавештења о дозволама","notifications.turnMode.always":"Увек","notifications.turnMode.description":"Подеси када те Codex обавештава да је завршио","notifications.turnMode.label":"Обавештења о завршетку круга","notifications.turnMode.off":"Никада","notifications.turnMode.unfocused":"Само када није фокусирано","patchApprovalRequest.approve":"Одобри","patchApprovalRequest.menu.allowAlways":"Да, и немој више да питаш током ове сесије","patchApprovalRequest.menu.allowForSession":"Да, и немој више да питаш током ове сесије","patchApprovalRequest.menu.allowOnce":"Да","patchApprovalRequest.prompt":"Желиш ли да унесеш те промене?","patchApprovalRequest.reject":"Не","patchApprovalRequest.waitingForApproval":"Чека се одобрење за измену датотека","pendingRequest.approvalExec.collapse":"Скупи","pendingRequest.approvalExec.expand":"Прошири","pendingRequestStory.toastAnswer":"Одговор: {answer}","pendingRequestStory.toastApprovalTitle":"Одговор за одобрење","pendingRequestStory.toastFollowupPrompt":"Промпт: {prompt}","pendingRequestStory.toastFollowupTitle":"Дубље испитивање је послато","pendingRequestStory.toastNoAnswers":"Нису пружени одговори","pendingRequestStory.toastQuestion":"Питање {question}","pendingRequestStory.toastUnknownDecision":"Непознато","pendingRequestStory.toastUserInputTitle":"Одговори су послати","quickAction.request.codeReview.branches.new":"Прегледај промене у {from} у односу на {to}","quickAction.request.codeReview.uncommitted.new":"Прегледај моје неуписане промене","reasoningItem.thinking":"Размишљам","reasoningItem.thought":"Размислио сам","reasoningItem.thoughtWithElapsed":"Размишљање је трајало {elapsed}","recentConversations.title":"Недавни разговори","recentTasks.worktreeInitFailedTitle":"Иницијализација стабла рада није успела","recentTasks.worktreeSettingUpTitle":"Подешавање стабла рада","requestInputPanel.continue":"Настави","requestInputPanel.dismiss":"Одбаци","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Куцај овде","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Не, и реци Codex-у шта да уради другачије","requestInputPanel.selectedBadge":"Одабрано","requestInputPanel.skip":"Прескочи","requestInputPanel.submit":"Пошаљи","review.commit.ariaLabel.includeUnstaged":"Обухвати непостављене","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Извршавање наредбе commit...","review.commit.disabled.loadingDiff":"Учитава се diff…","review.commit.disabled.missingContext":"Додај контекст за генерисање поруке уз commit","review.commit.disabled.noChanges":"Нема измена за commit","review.commit.disabled.noSelection":"Изабери промене за commit","review.commit.disabled.unavailable":"Commit тренутно није доступан","review.commit.error":"Commit наредба за промене није успела","review.commit.form.changesToBeCommitted":"Промене","review.commit.form.commitTo":"Огранак","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Настави","review.commit.form.title":"Изврши наредбу commit","review.commit.generate.emptyResponse":"Генерисање поруке уз commit није било могуће.","review.commit.generate.failed":"Није генерисана порука уз commit: {error}","review.commit.generate.missingPrompt":"Додај контекст за генерисање поруке уз commit.","review.commit.includeUnstaged":"Обухвати непостављене","review.commit.loading.description":"Сачекај, ово може да потраје неко време...","review.commit.loading.step.commit.done":"Commit наредба за промене је успела","review.commit.loading.step.commit.pending":"Наредба commit се извршава над променама","review.commit.loading.step.createPr.done":"Pull захтев је направљен","review.commit.loading.step.createPr.pending":"Прављење pull захтева","review.commit.loading.step.push.done":"Наредба push до огранка {branch} је извршена","review.commit.loading.step.push.pending":"Наредба push до огранка {branch} се извршава","review.commit.loading.title.commit":"Наредба commit се извршава над променама","review.commit.loading.title.createPr":"Прављење pull захтева","review.commit.loading.title.push":"Наредба push се извршава над променама","review.commit.messageLabel":"Порука уз commit","review.commit.messagePlaceholder":"Остави празно за аутоматско генерисање поруке уз commit","review.commit.nextSteps":"Следећи кораци","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit и направи pull захтев","review.commit.nextSteps.commitAndPush":"Commit и push","review.commit.nextSteps.prRequiresGh":"Потребан је GitHub CLI: {command}","review.commit.rows.changes":"Промене","review.commit.rows.commitCount":"{count, plural, one {# commit} few {# commit-a} other {# commit-a}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} few {# commit-a} other {# commit-a}} и {stats}","review.commit.rows.fileCount":"{count, plural, one {# датотека} few {# датотека} other {# датотека}}","review.commit.state.error.body":"Нешто није било у реду током извршавања наредбе commit. Провери git статус и покушајте поново.","review.commit.state.error.title":"Наредба commit није успела","review.commit.state.success.title":"Commit наредба за промене је извршена","review.commit.untracked.loadingStats":"Учитавање статистике за diff који се не прати…","reviewFindingAttachments.count":"{count, plural, one {# налаз} few {# налаза} other {# налаза}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Измени конфигурацију за прилагођавање понашања агента","settings.agent.configuration.configToml.docs":"Документи","settings.agent.configuration.configToml.restartNote":"Рестартуј Codex након измена да примениш промене","settings.agent.configuration.subtitle":"Ова подешавања се примењују на сва места на којима се Codex користи","settings.automations.banner.danger":"Аутоматизације се покрећу са подразумеваним подешавањима режима безбедног извршавања, која су тренутно подешена на Пуни приступ. Покретање позадинских аутоматизација уз Пуни приступ подразумева већи ризик, јер Codex може да мења датотеке, извршава команде и приступа мрежи без питања. Размисли о ажурирању подешавања режима безбедног извршавања на писање на радној површини и коришћењу <rulesDocsLink>правила</rulesDocsLink> за селективно дефинисање тога које команде агент може да извршава са пуним приступом.","settings.automations.banner.defaultHowTo.default":"Аутоматизације се покрећу са подразумеваним подешавањима режима безбедног извршавања. Позиви алатки неће успети ако траже да мењају датотеке изван радне површине, приступају мрежи или користе апликације на рачунару. Уз помоћ <rulesDocsLink>правила</rulesDocsLink> можеш селективно да саставиш листу дозвољених команди за покретање изван режима безбедног извршавања.","settings.automations.banner.defaultHowTo.readOnly":"Аутоматизације се покрећу са подразумеваним подешавањима режима безбедног извршавања, која су подешена на само читање. Позиви алатки неће успети ако траже да мењају датотеке изван радне површине, приступају мрежи или користе апликације на рачунару. Размисли о ажурирању подешавања режима безбедног извршавања на писање на радној површини.","settings.automations.cancel":"Откажи","settings.automations.create":"Направи","settings.automations.cwdEmpty":"Није доступна ниједна фасцикла пројекта","settings.automations.cwdLabel":"Пројекти","settings.automations.cwdPlaceholder":"Изабери фасциклу","settings.automations.cwdSubtitle":"Ако желиш да се аутоматизација извршава над одређеним огранком, можеш да је назначиш у промпту.","settings.automations.delete":"Избриши","settings.automations.dialog.editTitle":"Измени аутоматизацију","settings.automations.dialog.newTitle":"Нова аутоматизација","settings.automations.dialog.subtitle":"Аутоматизуј задатке који се понављају у позадини. Codex додаје налазе у пријемно сандуче или аутоматски архивира задатак ако нема ничега за извештај. <learnMoreLink>Сазнај више</learnMoreLink>","settings.automations.dialog.title":"Направи аутоматизацију","settings.automations.executionCopy.git":"Аутоматизације раде у позадини на наменским стаблима рада.","settings.automations.executionCopy.nonGit":"Аутоматизације у пројектима без контроле верзија покрећу се директно у директоријуму пројекта. Размотри коришћење система Git и омогући извршавање на позадинским стаблима рада.","settings.automations.executionEnvironment.local":"Локална","settings.automations.executionEnvironment.worktree":"Стабло рада","settings.automations.loading":"Учитавање...","settings.automations.nameLabel":"Назив","settings.automations.namePlaceholder":"Провери да ли има проблема на платформи Sentry","settings.automations.pause":"Паузирај","settings.automations.promptLabel":"Промпт","settings.automations.promptPlaceholder":"потражи отказивања на платформи $Sentry","settings.automations.resume":"Настави","settings.automations.rruleSummaryFallback":"Прилагођени распоред","settings.automations.runNow":"Тест","settings.automations.save":"Сачувај","settings.automations.scheduleBadge.dayCount":"{count} д.","settings.automations.scheduleBadge.interval":"{count} ч.","settings.automations.scheduleBadge.weekdays":"Радним данима","settings.automations.scheduleBadge.weekends":"Викендом","settings.automations.scheduleHeader":"Распоред","settings.automations.scheduleHours":"сати","settings.automations.scheduleLabel":"Покретање сваког","settings.automations.scheduleMode.daily":"Сваког дана","settings.automations.scheduleMode.interval":"Интервал","settings.automations.scheduleModeLabel":"Тип распореда","settings.automations.scheduleSummary.daily":"Сваког дана у {time}","settings.automations.scheduleSummary.interval":"Свака/их {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# дан} few {# дана} other {# дана}}","settings.automations.scheduleSummary.intervalDays":"{interval} на {days}","settings.automations.scheduleSummary.intervalHourly":"Сваког сата","settings.automations.scheduleSummary.singleDay":"{day} у {time}","settings.automations.scheduleSummary.weekdays":"Радним данима у {time}","settings.automations.scheduleSummary.weekdaysLabel":"радним данима","settings.automations.scheduleSummary.weekends":"Викендом уt {time}","settings.automations.scheduleSummary.weekendsLabel":"викендима","settings.automations.scheduleSummary.weekly":"{days} у {time}","settings.automations.scheduleWeekdays":"Укључено","settings.automations.weekdayState.excluded":"Изузето","settings.automations.weekdayState.included":"Укључено","settings.conversationDetail.steps":"Кораци","settings.conversationDetail.steps.description":"Сакриј команде и излазе","settings.conversationDetail.stepsWithCommands":"Кораци са командама за кодирање","settings.conversationDetail.stepsWithCommands.description":"Прикажи команде, скупи излаз","settings.conversationDetail.stepsWithOutput":"Кораци са излазним кодом","settings.conversationDetail.stepsWithOutput.description":"Прикажи команде и прошири излаз","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Нема архивираних ћаскања.","settings.dataControls.archivedChats.error":"Учитавање архивираних ћаскања није успело.","settings.dataControls.archivedChats.loading":"Архивирана ћаскања се учитавају...","settings.dataControls.archivedChats.unarchive":"Разархивирај","settings.dataControls.archivedChats.unarchiveError":"Поништавање архивирања ћаскања није успело","settings.dataControls.archivedChats.unarchiveSuccess":"Нит је уклоњена из архиве. <viewNowLink>Прикажи одмах</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Нит је уклоњена из архиве.","settings.dataControls.archivedChats.untitled":"Нетитловано ћаскање","settings.dataControls.archivedChats.viewNow":"Прикажи одмах","settings.editRow.headerPlaceholder":"Кључ","settings.editRow.removeEntry":"Уклони унос","settings.editRow.valuePlaceholder":"Вредност","settings.general.appearance":"Изглед","settings.general.appearance.codeFont":"Фонт кода","settings.general.appearance.codeFont.description":"Прилагоди фонт и величину који се користе за код у свим ћаскањима и diff-овима","settings.general.appearance.codeFontFamily":"Породица фонта кода","settings.general.appearance.codeFontSize":"Величина фонта кода","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Нека прозори користе пуну позадину уместо системске провидности","settings.general.appearance.opaqueWindows.label":"Користи непровидну позадину прозора","settings.general.appearance.sansFontFamily":"Породица фонта Sans","settings.general.appearance.sansFontFamily.description":"Прилагоди фонт који се користи за кориснички интерфејс Codex-а","settings.general.appearance.sansFontSize":"Величина санс фонта","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Прикажи ефекте славља у целом прозору док GPT-5.3-Codex-Spark покреће први круг","settings.general.appearance.sparkCelebrationEffects.label":"Spark ефекти славља","settings.general.appearance.theme":"Тема","settings.general.appearance.theme.dark":"Тамна","settings.general.appearance.theme.description":"Користи светлу, тамну или системску","settings.general.appearance.theme.light":"Светла","settings.general.appearance.theme.system":"Систем","settings.general.appearance.usePointerCursors.description":"Промени курсор у показивач када се постави изнад интерактивних елемената","settings.general.appearance.usePointerCursors.label":"Користи курсоре-показиваче","settings.general.enterBehavior.description":"Када се омогуће, промптови са више редова захтевају {modifierSymbol} + enter за слање.","settings.general.enterBehavior.label":"Захтевај {modifierSymbol} + enter за слање дугачких промптова","settings.general.experimentalFeatures":"Експерименталне функције (бета)","settings.general.experimentalFeatures.empty":"Нису доступне експерименталне функције у бета верзији.","settings.general.experimentalFeatures.loading":"Учитавање експерименталних функција…","settings.general.experimentalFeatures.restartNote":"Рестартуј Codex да примениш промене експерименталних функција","settings.general.experimentalFeatures.toggle":"Укључи/искључи вештину {featureName}","settings.general.followUpQueueMode.description":"Стави дубља испитивања у ред док се Codex покреће или усмерава тренутно извршавање. Притисни {invertFollowUpShortcutLabel} ако желиш да урадиш супротно за једну поруку.","settings.general.followUpQueueMode.interrupt":"Усмери","settings.general.followUpQueueMode.label":"Понашање при дубљем испитивању","settings.general.followUpQueueMode.queue":"Ред","settings.general.notifications":"Обавештења","settings.general.power.preventSleepWhileRunning.description":"Држи рачунар будним док Codex извршава нит.","settings.general.power.preventSleepWhileRunning.label":"Спречи мировање током покретања","settings.git.branchPrefix.ariaLabel":"Branch prefix","settings.git.branchPrefix.description":"Префикс који се користи када се праве нови огранци у Codex-у","settings.git.branchPrefix.label":"Branch prefix","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Чување префикса огранка није успело","settings.git.branchPrefix.save.success":"Префикс огранка је сачуван","settings.git.commitInstructions.ariaLabel":"Упутства за commit","settings.git.commitInstructions.description":"Додато у промптове за генерисање порука уз commit","settings.git.commitInstructions.label":"Упутства за commit","settings.git.commitInstructions.placeholder":"Додај смернице за поруку уз commit…","settings.git.commitInstructions.save":"Сачувај","settings.git.commitInstructions.save.error":"Упутства за commit нису сачувана","settings.git.commitInstructions.save.success":"Сачувана упутства за commit","settings.git.forcePush.ariaLabel":"Увек користи force push","settings.git.forcePush.description":"Користи --force-with-lease за команду push из Codex-а","settings.git.forcePush.label":"Увек користи force push","settings.git.forcePush.save.disabled":"Опција Увек користи force push је онемогућена","settings.git.forcePush.save.enabled":"Опција Увек користи force push је омогућена","settings.git.forcePush.save.error":"Чување подешавања за force push није успело","settings.git.prInstructions.ariaLabel":"Упутства за pull захтев","settings.git.prInstructions.description":"Додато садржајима pull захтева које прави Codex","settings.git.prInstructions.label":"Упутства за pull захтев","settings.git.prInstructions.placeholder":"Додај смернице за pull захтев…","settings.git.prInstructions.save":"Сачувај","settings.git.prInstructions.save.error":"Чување упутстава за pull захтев није успело","settings.git.prInstructions.save.success":"Упутства за pull захтев су сачувана","settings.ide.defaultOpenTarget.description":"Где се датотеке и фасцикле подразумевано отварају","settings.ide.defaultOpenTarget.label":"Одредиште које се подразумевано отвара","settings.ide.defaultOpenTarget.placeholder":"Нису пронађени циљеви","settings.ide.language.auto":"Аутоматскo откривање","settings.ide.language.autoOption":"Аутоматскo откривање","settings.ide.language.description":"Језик за UI апликације","settings.ide.language.label":"Језик","settings.ide.language.search":"Претражи језике","settings.layout.actionButton":"Поново покрени проширење","settings.layout.actionTitle":"Подешавања са радњом","settings.layout.fullWidthTitle":"Подешавања (пуна ширина)","settings.layout.title":"Подешавања","settings.localEnvironments.actions.add":"Додај радњу","settings.localEnvironments.actions.add.description":"Направи нову команду за покретање са траке са алаткама.","settings.localEnvironments.actions.add.save":"Сачувај","settings.localEnvironments.actions.empty":"Додај радњу и покрени команде са локалне траке с алаткама.","settings.localEnvironments.actions.icon.debug":"Отклони грешке","settings.localEnvironments.actions.icon.run":"Покренут","settings.localEnvironments.actions.icon.test":"Тест","settings.localEnvironments.actions.icon.tool":"Алатка","settings.localEnvironments.actions.item.button.delete":"Избриши","settings.localEnvironments.actions.item.command":"Скрипта радње","settings.localEnvironments.actions.item.name":"Назив","settings.localEnvironments.actions.item.platforms":"Платформе","settings.localEnvironments.actions.item.platforms.help":"Ради само у одређеном ОС.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Избор платформе","settings.localEnvironments.actions.item.platforms.specific":"Специфично за платформу","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Избриши","settings.localEnvironments.actions.title":"Радње","settings.localEnvironments.breadcrumb.back":"Назад","settings.localEnvironments.breadcrumb.edit":"измени","settings.localEnvironments.breadcrumb.root":"Окружења","settings.localEnvironments.environment.actions.description":"Ове радње могу да покрену било коју команду и биће приказане у заглављу.","settings.localEnvironments.environment.actionsLabel":"Радње","settings.localEnvironments.environment.create":"Направи локално окружење","settings.localEnvironments.environment.defaultName":"локално","settings.localEnvironments.environment.edit":"Измени локално окружење","settings.localEnvironments.environment.empty":"За овај пројекат још није конфигурисано ниједно локално окружење.","settings.localEnvironments.environment.name":"Назив","settings.localEnvironments.environment.setup":"Скрипт за подешавање","settings.localEnvironments.environment.setup.description":"Ова скрипта ће се покренути када се направи стабло рада.","settings.localEnvironments.environment.setup.hint":"Извршава се у основи пројекта.","settings.localEnvironments.environment.setup.platformOverrides":"Суспендовања платформе","settings.localEnvironments.environment.setup.platformOverrides.add":"Додај скрипту за подешавање платформе {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Суспендује подразумевани скрипт за одређене оперативне системе.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Уклони","settings.localEnvironments.environment.setup.script":"Скрипта","settings.localEnvironments.environment.title":"Подаци о окружењу","settings.localEnvironments.file.missing":"Сачувај и направи ову датотеку први пут.","settings.localEnvironments.file.parseError":"Рашчлањивање постојеће датотеке није могуће. Ако сачуваш, заменићеш је. ({error})","settings.localEnvironments.file.path":"Датотека: {path}","settings.localEnvironments.file.readError":"Учитавање података о локалном окружењу није успело. ({error})","settings.localEnvironments.file.title":"Датотека локалног окружења","settings.localEnvironments.loading.body":"Преузимање конфигурације пројекта је у току.","settings.localEnvironments.loading.title":"Учитавање локалних окружења","settings.localEnvironments.preview.devOnly":"(само за програмере)","settings.localEnvironments.preview.save":"Сачувај","settings.localEnvironments.preview.saveError":"Чување датотеке није успело. ({error})","settings.localEnvironments.preview.title":"Преглед","settings.localEnvironments.save.disabled.name":"Додај назив окружења за чување.","settings.localEnvironments.save.disabled.noChanges":"Нема промена за чување.","settings.localEnvironments.save.disabled.saving":"Чување...","settings.localEnvironments.save.success":"Сачувано локално окружење","settings.localEnvironments.unavailable.body":"Нисмо успели да учитамо подешавања локалног окружења за овај пројекат.","settings.localEnvironments.unavailable.title":"Локална окружења нису доступна","settings.localEnvironments.workspace.add":"Додај пројекат","settings.localEnvironments.workspace.title":"Пројекат","settings.localEnvironments.workspaceSelect.addLabel":"Додај окружење","settings.localEnvironments.workspaceSelect.description":"Локална окружења говоре Codex-у како да конфигурише стабла рада за пројекат. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Још нема пројеката. Додај један и конфигуриши локална окружења.","settings.localEnvironments.workspaceSelect.errorLabel":"Потребна је пажња у вези са окружењем","settings.localEnvironments.workspaceSelect.learnMore":"Сазнај више","settings.localEnvironments.workspaceSelect.listLabel":"Доступни пројекти","settings.localEnvironments.workspaceSelect.loading":"Учитавање пројеката је у току.","settings.localEnvironments.workspaceSelect.loadingLabel":"Учитава се окружење","settings.localEnvironments.workspaceSelect.title":"Изабери пројекат","settings.localEnvironments.workspaceSelect.viewAction":"Прикажи","settings.mcp.addServer":"Додај сервер","settings.mcp.app.configure":"Конфигуриши","settings.mcp.app.connect":"Повежи","settings.mcp.apps.refresh":"Освежи","settings.mcp.detail.addArgument":"Додај аргумент","settings.mcp.detail.addEnvVar":"Додај променљиву окружења","settings.mcp.detail.addEnvVarPassthrough":"Додај променљиву","settings.mcp.detail.args":"Аргументи","settings.mcp.detail.back":"Назад","settings.mcp.detail.command":"Команда за покретање","settings.mcp.detail.cwd":"Радни директоријум","settings.mcp.detail.docs":"Отвори MCP документацију","settings.mcp.detail.docs.link":"Документи","settings.mcp.detail.envVarPassthrough":"Пролаз променљиве окружења","settings.mcp.detail.envVars":"Променљиве окружења","settings.mcp.detail.http.addEnvHeader":"Додај променљиву","settings.mcp.detail.http.addHeader":"Додај заглавље","settings.mcp.detail.http.bearerToken":"Env var елемент токена носиоца","settings.mcp.detail.http.envHeaders":"Заглавља из променљивих окружења","settings.mcp.detail.http.headers":"Заглавља","settings.mcp.detail.http.url":"URL адреса","settings.mcp.detail.name":"Назив","settings.mcp.detail.save":"Сачувај","settings.mcp.detail.switchTransportNotice":"Ако желиш да се пребациш на други тип MCP сервера, прво деинсталирај.","settings.mcp.detail.titleExisting":"Ажурирај MCP сервер {name}","settings.mcp.detail.titleNew":"Повежи на прилагођени MCP сервер","settings.mcp.detail.transport.http":"HTTP који се може стримовати","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Деинсталирај","settings.mcp.empty":"Нису повезани прилагођени MCP сервери","settings.mcp.myServers":"Прилагођени сервери","settings.mcp.partnerServer.description.figma":"Генериши бољи код за тако што ћеш унети цео Figma контекст","settings.mcp.partnerServer.description.github":"Интегриши користећи GitHub API-је ради аутоматизације радних процеса и издвајања података","settings.mcp.partnerServer.description.linear":"Интегриши са Linear праћењем проблема и управљањем пројектима","settings.mcp.partnerServer.description.notion":"Читај документе, ажурирај странице, управљај задацима","settings.mcp.partnerServer.description.playwright":"Интегриши аутоматизацију прегледача ради примене дизајна и тестирања корисничког интерфејса.","settings.mcp.partnerServer.install":"Инсталирај","settings.mcp.partnerServer.installAndAuthenticate":"Инсталирај и потврди идентитет","settings.mcp.partnerServer.logoAlt":"{label} логотип","settings.mcp.partnerServer.manage":"Управљај","settings.mcp.partnerServer.vendor":"до {vendor}","settings.mcp.recommendedServers":"Препоручени сервери","settings.mcp.restartApp":"Покрени поново","settings.mcp.restartExtension":"Поново покрени проширење","settings.mcp.server.enable":"Омогући","settings.mcp.server.login":"Потврди идентитет","settings.mcp.server.settings":"Подешавања","settings.multiselect.createOption":"Направи „{value}”","settings.multiselect.removeOption":"Уклони","settings.nav.account":"Налог","settings.nav.agent":"Конфигурација","settings.nav.ariaLabel":"Подешавања","settings.nav.back":"Повратак на апликацију","settings.nav.data-controls":"Архивиране нити","settings.nav.environments":"Окружења у облаку","settings.nav.externalTooltip":"[alpha] Отвара се у прегледачу","settings.nav.general-settings":"Опште","settings.nav.git-settings":"Git","settings.nav.local-environments":"Окружења","settings.nav.mcp-settings":"MCP сервери","settings.nav.notImplemented":"[alpha] Није доступно у верзији Alpha","settings.nav.personalization":"Персонализација","settings.nav.skills-settings":"Вештине","settings.nav.usage-analytics":"Употреба и аналитика","settings.nav.worktrees":"Стабла рада","settings.openSourceLicenses.back":"Назад","settings.openSourceLicenses.loading":"Учитавање...","settings.openSourceLicenses.missing":"Нису пронађена обавештења треће стране.","settings.openSourceLicenses.notSupported":"Није доступно у овом хосту.","settings.openSourceLicenses.rowDescription":"Обавештења трећих страна за зависне елементе у пакетима","settings.openSourceLicenses.rowLabel":"Open source лиценце","settings.openSourceLicenses.subtitle":"Обавештења трећих страна за зависне елементе укључене у ову апликацију","settings.openSourceLicenses.title":"Open source лиценце","settings.openSourceLicenses.view":"Прикажи","settings.personalization.agents.description":"Измени упутства која прилагођавају Codex теби. {learnMore}","settings.personalization.agents.learnMore":"Сазнај више","settings.personalization.agents.loadError":"Учитавање agents.md. није могуће.","settings.personalization.agents.loading":"Учитава се agents.md...","settings.personalization.agents.placeholder":"Додај прилагођена упутства...","settings.personalization.agents.retry":"Покушај поново","settings.personalization.agents.save":"Сачувај","settings.personalization.agents.save.error":"Чување agents.md није могуће","settings.personalization.agents.save.success":"Сачуван agents.md","settings.personalization.agents.title":"Прилагођена упутства","settings.personalization.personality.description":"Одабери подразумевани тон за Codex одговоре","settings.personalization.personality.label":"Личност","settings.sample.contentBody":"Користи овај распоред да креираш панеле са подешавањима са доследним размацима.","settings.sample.contentTitle":"Пробни блок садржаја","settings.section.account":"Налог","settings.section.agent":"Конфигурација","settings.section.data-controls":"Архивиране нити","settings.section.environments":"Окружења у облаку","settings.section.external":"Отвара се у твом прегледачу у верзији Alpha","settings.section.general-settings":"Опште","settings.section.git-settings":"Git","settings.section.local-environments":"Окружења","settings.section.mcp-settings":"MCP сервери","settings.section.mcp-settings.docs":"Документи","settings.section.mcp-settings.subtitle":"Повежи спољашње алатке и изворе података.","settings.section.personalization":"Персонализација","settings.section.skills-settings":"Вештине","settings.section.unavailable":"Још није доступно у верзији Alpha","settings.section.usage-analytics":"Употреба и аналитика","settings.section.worktrees":"Стабла рада","settings.threadDetail.description":"Изабери колико излаза команде ће се приказивати у нитима","settings.threadDetail.label":"Детаљ нити","settings.worktrees.conversation.untitled":"Разговор без наслова","settings.worktrees.delete.error":"Брисање стабла рада није успело","settings.worktrees.empty.body":"Стабла рада које је направио Codex ће се приказивати овде.","settings.worktrees.empty.title":"Још не постоји ниједно стабло рада","settings.worktrees.error.body":"Нешто није било у реду при учитавању стабала рада.","settings.worktrees.error.retry":"Покушај поново","settings.worktrees.error.title":"Учитавање стабала рада није могуће","settings.worktrees.loading.body":"Преузимање података о стаблу рада.","settings.worktrees.loading.title":"Учитавање стабала рада","settings.worktrees.repository.loading":"Учитавања метаподатака спремишта...","settings.worktrees.repository.unknown":"Непознато спремиште","settings.worktrees.row.conversations":"Разговори","settings.worktrees.row.conversations.empty":"Ниједан разговор није повезан са овим стаблом рада.","settings.worktrees.row.conversations.loading":"Учитавање разговора...","settings.worktrees.row.delete":"Избриши","settings.worktrees.row.title":"Стабло рада","sidebarElectron.addWorkspaceRoot":"Додај нови пројекат","sidebarElectron.archiveThread":"Архивирај нит","sidebarElectron.archiveThreadError":"Нит није архивирана","sidebarElectron.collapseFolder":"Скупи фасциклу","sidebarElectron.createStableWorktree.dialog.cancel":"Откажи","sidebarElectron.createStableWorktree.dialog.create":"Направи","sidebarElectron.debugNavLink":"Отклони грешке","sidebarElectron.editWorkspaceRootOptionName":"Измени име","sidebarElectron.expandFolder":"Прошири фасциклу","sidebarElectron.groupByMenu.recency":"Хронолошка листа","sidebarElectron.groupByMenu.title":"Организација","sidebarElectron.groupByMenu.workspace":"Према пројекту","sidebarElectron.inboxRouteNavLink":"Аутоматизације","sidebarElectron.markThreadUnread":"Означи као непрочитано","sidebarElectron.missingWorkspaceRoot":"Ова фасцикла пројекта је избрисана или премештена","sidebarElectron.newThread":"Нова нит","sidebarElectron.newThreadInGroup":"Започни нову нит у фасциклу {folder}","sidebarElectron.noRecentThreads":"Нема недавних нити","sidebarElectron.noTasks":"Нема преписки","sidebarElectron.noTasks.start":"Додај нови пројекат","sidebarElectron.noTasksWithFilter":"Ниједна преписка се не подудара са филтерима","sidebarElectron.pinnedThreads":"Прикачене размене порука","sidebarElectron.recentNavLink":"Нити","sidebarElectron.recentThreads":"Недавне нити","sidebarElectron.removeWorkspaceRootOption":"Уклони","sidebarElectron.renameThread":"Преименуј нит","sidebarElectron.renameThreadDialogAriaLabel":"Наслов низа порука","sidebarElectron.renameThreadDialogCancel":"Откажи","sidebarElectron.renameThreadDialogPlaceholder":"Додај наслов...","sidebarElectron.renameThreadDialogSave":"Сачувај","sidebarElectron.renameThreadDialogSubtitle":"Нека буде кратак и препознатљив.","sidebarElectron.renameThreadDialogTitle":"Преименуј низ порука","sidebarElectron.renameThreadError":"Преименовање нити није успело","sidebarElectron.renameWorkspaceRootOptionLabel":"Име за приказ","sidebarElectron.showLess":"Прикажи мање","sidebarElectron.showMenu.all":"Све нити","sidebarElectron.showMenu.relevant":"Релевантно","sidebarElectron.showMenu.relevantHint":"Приказуј само недавне нити за актуелни огранак, стабла рада или друге нити на које је потребно да обратиш пажњу","sidebarElectron.showMenu.title":"Прикажи","sidebarElectron.showMenu.tooltip":"Филтрирај, сортирај и организуј нити","sidebarElectron.showMenu.trigger":"Филтрирај нити на бочној траци","sidebarElectron.showMore":"Прикажи још","sidebarElectron.skillsRouteNavLink":"Вештине","sidebarElectron.sortMenu.created":"Направљено","sidebarElectron.sortMenu.title":"Сортирај према","sidebarElectron.sortMenu.updated":"Ажурирано","sidebarElectron.taskNavigation":"Фасцикле са аутоматизацијама","sidebarElectron.tasksInFolder":"Аутоматизације у фасцикли {folder}","sidebarElectron.workspaceOptions":"Радње пројекта за фасциклу {folder}","sidebarElectron.worktreeGroupTooltip":"Ово је git стабло рада","skills.appsPage.createSkill":"Нова вештина","skills.appsPage.empty.skills":"Није пронађена ниједна вештина","skills.appsPage.search.skills":"Претражи вештине","skills.appsPage.search.skills.label":"Претражи вештине","skills.appsPage.section.installedApps":"Инсталирано","skills.appsPage.section.skills":"Вештине","skills.appsPage.subheading":"Дај Codex-у супермоћи. <link>Сазнај више</link>","skills.appsPage.tab.recommended":"Препоручено","skills.appsPage.tab.skills":"Вештине","skills.card.contentsError":"Учитавање садржаја вештина није могуће.","skills.card.disable":"Онемогући","skills.card.disableSuccess":"Вештина {skillName} је онемогућена","skills.card.disabledBadge":"Онемогућено","skills.card.enable":"Омогући","skills.card.enableSuccess":"Вештина {skillName} је омогућена","skills.card.loadingContents":"Учитавање садржаја вештина...","skills.card.more":"Још радњи","skills.card.open":"Отвори","skills.card.removeFailed":"Деинсталација вештине није успела","skills.card.removeSuccess":"Вештина {skillName} је деинсталирана","skills.card.toggleEnabledError":"Вештина није ажурирана","skills.card.try":"Испробај","skills.card.trySkill":"Испробај вештину","skills.card.uninstall":"Деинсталирај","skills.hero.dotLabel":"Иди на слајд {index}","skills.hero.next":"Следећа представљена вештина","skills.hero.trySkill":"Испробај вештину","skills.page.createSkill":"Нова вештина","skills.page.empty":"Није пронађена ниједна вештина","skills.page.filteredEmpty":"Ниједна вештина се не подудара са твојим филтерима","skills.page.filteredEmptyDescription":"Покушај да прилагодиш претрагу или филтере обима","skills.page.heading":"Вештине","skills.page.loading":"Учитавање вештина...","skills.page.refreshSkills":"Освежи","skills.page.refreshSkillsToUseNew":"Освежи ради коришћења нових вештина","skills.page.search":"Претражи вештине","skills.page.search.label":"Претражи вештине","skills.page.subheading":"Дај Codex-у супермоћи. <link>Сазнај више</link>","skills.preview.copyPrompt":"Копирај промпт","skills.preview.examplePrompt":"Пример промпта","skills.recommended.error":"Учитавање препоручених порука није успело","skills.recommended.install":"Инсталирај","skills.recommended.installSkill":"Инсталирај вештину","skills.recommended.installSuccess":"Вештина {skillName} је инсталирана","skills.recommended.installed":"Инсталирано","skills.scope.admin":"Администратор","skills.scope.adminInstalled":"Инсталирао администратор","skills.scope.builtIn":"Систем","skills.scope.personal":"Лични","skills.scope.repo":"Спремиште","skills.scope.system":"Систем","skills.scope.team":"Team","skills.scope.user":"Корисник","skills.section.installed":"Инсталирано","skills.section.recommended":"Препоручено","story.slidingToggle.existing":"Постојеће","story.slidingToggle.fromLocal":"Из локалног","story.slidingToggle.new":"Ново","story.slidingToggle.toLocal":"У локално","terminal.close":"Затвори терминал","terminal.title":"Терминал","thinkingShimmer.default":"Размишљам","threadEnvIcon.cloudTooltip":"Овај разговор се одвија у Codex Cloud-у.","threadEnvIcon.localTooltip":"Овај разговор се покреће локално.","threadEnvIcon.worktreeTooltip":"Овај разговор се одвија у локалном git стаблу рада.","threadHeader.archiveConfirmCancel":"Откажи","threadHeader.archiveConfirmConfirm":"Архивирај","threadHeader.archiveConfirmSubtitle":"Можете је пронаћи касније у архивираним нитима.","threadHeader.archiveConfirmTitle":"Желиш ли да архивираш нит?","threadHeader.copyAppLink":"Копирај дубоки линк","threadHeader.copySessionId":"Копирај ИД сесије","threadHeader.copyWorkingDirectory":"Копирај радни директоријум","threadHeader.forkIntoLocal":"Форкуј локално","threadHeader.forkIntoWorktree":"Форкуј на ново стабло рада","threadHeader.forkPendingWorktreePrompt":"Форкуј овај разговор на ново стабло рада.","threadHeader.forkPendingWorktreeTitle":"Форкуј разговор","threadHeader.forkThreadError":"Задатак није форкован","threadHeader.forkThreadRequiresGitRepo":"За форковање на ново стабло рада неопходно је git спремиште","threadHeader.moreActions":"Радње у нити","threadPage.newThread":"Нова нит","threadPage.runAction.changeEnvironment":"Промени окружење","threadPage.runAction.dropdown.titleWithEnvironment":"Радње за окружење {environmentName}","threadPage.runAction.environmentSelector.label":"Одабери окружење","threadPage.runAction.label":"Покренут","threadPage.runAction.missing.label":"Конфигуриши радњу за покретање","threadPage.runAction.setup.commandLabel":"Команда за покретање","threadPage.runAction.setup.description":"Реци Codex-у како да инсталира зависности и покрене твоју апликацију.","threadPage.runAction.setup.editMore":"Подешавања окружења","threadPage.runAction.setup.placeholder":"нпр: инсталирај npm покрени npm","threadPage.runAction.setup.submit":"Сачувај и покрени","threadPage.runAction.setup.title":"Покренут","threadPage.runAction.tooltip.withEnvironment":"Радње за окружење {environmentName}","threadPage.toggleDiffPanel":"Укључи/искључи diff панел","threadPage.toggleTerminal":"Укључи/искључи терминал","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Отвори фасциклу","toolSummaryForCmd.exploredFiles":"<verb>Наведене</verb> датотеке","toolSummaryForCmd.exploredFilesInPath":"<verb>Наведене</verb> датотеке на путањи {path}","toolSummaryForCmd.exploringFiles":"<verb>Навођење</verb> датотека","toolSummaryForCmd.exploringFilesInPath":"<verb>Навођење</verb> датотека на путањи {path}","toolSummaryForCmd.ranGenericCommand":"<status>Команда је покренута</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Покренуто</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Прочитај</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Команда се покреће</status>{timer}","toolSummaryForCmd.runningTimer":"за {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Тражење</verb> упита {query}","toolSummaryForCmd.searchedForFiles":"<verb>Претрага</verb> датотека","toolSummaryForCmd.searchedForInPath":"<verb>Тражење</verb> упита {query} на путањи {path}","toolSummaryForCmd.searchingFor":"<verb>Претраживање</verb> упита {query}","toolSummaryForCmd.searchingForFiles":"<verb>Тражење</verb> датотека","toolSummaryForCmd.searchingForInPath":"<verb>Тражење</verb> упита {query} на путањи {path}","traceRecording.details.noteLabel":"Шта си радио/ла када се то догодило? (необавезно)","traceRecording.details.notePlaceholder":"Дошао/ла си до велике нити, а затим више пута променио/ла картице…","traceRecording.details.submit":"Слање праћења","traceRecording.details.subtitle":"Можемо да пошаљемо ово праћење профила за лакшу дијагностику проблема са перформансама.","traceRecording.details.title":"Желиш ли да пошаљеш праћење профила?","traceRecording.progress.subtitle":"Нека Codex остане отворен док се то обави.","traceRecording.saving.title":"Чување праћења…","traceRecording.startDetails.cancel":"Откажи","traceRecording.startDetails.submit":"У реду, започни снимање","traceRecording.startDetails.subtitle":"Када кликнеш на „У реду“, репродукуј проблем са перформансама па кликни на плутајући црвени индикатор да га зауставиш и прегледај праћење.","traceRecording.startDetails.title":"Како снимање праћења функционише","traceRecording.stopButton.ariaLabel":"Прекини снимање праћења","traceRecording.upload.successToast":"Праћење профила је послато.","traceRecording.uploading.title":"Отпремање праћења...","wham.diff.addComment":"Додај коментар","wham.diff.binaryFile":"Бинарна датотека није приказана","wham.diff.noContent":"Нема садржаја","wham.fileTag.deleted":"Избрисано","wham.fileTag.new":"Ново","wham.formattedRelativeDateTime.compactDaysAgo":"{value} д.","wham.formattedRelativeDateTime.compactHoursAgo":"{value} ч.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} мин.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} мес.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} нед.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} год.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Ради се на твом задатку","wham.whamProposedTask.title":"Препоручени задатак","wham.whamProposedTask.useSuggestion":"Користи предлог","workspaceRootDialog.addError":"Пројекат није додат","workspaceRootDialog.cancel":"Откажи","workspaceRootDialog.confirmAdd":"Додај пројекат","workspaceRootDialog.confirmPick":"Користи пројекат","workspaceRootDialog.description":"Унеси путању на одредишту {host} и користи то као пројекат.","workspaceRootDialog.pathLabel":"Путања пројекта","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Додај путању пројекта","workspaceRootDialog.title.pick":"Одабери путању пројекта","worktreeInitV2.cancel":"Откажи","worktreeInitV2.notification.failedTitle":"Подешавање стабла рада није успело","worktreeInitV2.output.empty":"Чека се на излаз...","worktreeInitV2.status.error":"Подешавање стабла рада није успело.","worktreeInitV2.status.running":"Прављење стабла рада и подешавање покретања.","worktreeInitV2.status.runningFork":"Прављење стабла рада за форковање овог разговора је у току.","worktreeInitV2.status.success":"Стабло рада је спремно.","worktreeInitV2.title":"Прављење стабла рада","worktreeInitV2.workLocallyInstead":"Уместо тога ради локално","worktreeRestoreBanner.body":"Стабло рада ове нити је уклоњено ради уштеде простора на диску","worktreeRestoreBanner.missing.body":"Радни директоријум ове нити више не постоји","worktreeRestoreBanner.missing.title":"Тренутни радни директоријум недостаје","worktreeRestoreBanner.restore.error":"Стабло рада није враћено: {message}","worktreeRestoreBanner.restore.success":"Стабло рада је враћено","worktreeRestoreBanner.restoreCta":"Врати стабло рада","worktreeRestoreBanner.title":"Стабло рада је рашчишћено"};export{e as default};
+const e={"CopyButton.copyTooltip":"Копирај","app.sidebar.hide":"Сакриј бочну траку","app.sidebar.show":"Прикажи бочну траку","app.sidebar.tooltip":"Укључи/искључи бочну траку","appHeader.installUpdate":"Ажурирај","appSunset.body":"Ова верзија апликације више није подржана. Преузми најновију верзију <here>овде</here>.","appSunset.title":"Неопходно је ажурирање","automation.updateDirective.create":"Направи","automation.updateDirective.open":"Отвори","automation.updateDirective.untitled":"Аутоматизација без назива","automation.updateDirective.update":"Ажурирај","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# покушај} few {# покушаја} other {# покушаја}}","cloudTaskRow.archiveError":"Архивирање задатка није успело","code.diff.requestChange":"Захтевај промену","code.diffComment.cancel":"Откажи","code.diffComment.comment":"Коментар","code.diffComment.delete":"Избриши","code.diffComment.save":"Сачувај","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Нема пријављених резултата.","codex.alert.closeAriaLabel":"Затвори","codex.appUpsellBanner.cbpApi.message":"Прави брже уз апликацију Codex. Преузми сада или {learnMoreLink}.","codex.appUpsellBanner.download":"Преузми","codex.appUpsellBanner.freeGo.message":"Codex је укључен у твој план до 2. марта. Испробај апликацију Codex и прави брже.","codex.appUpsellBanner.later":"Касније","codex.appUpsellBanner.learnMoreLowercase":"сазнај више","codex.appUpsellBanner.new":"Ново","codex.appUpsellBanner.proPlusBusiness.message":"Испробај апликацију Codex уз 2x мања ограничења брзине до 2. априла. Преузми сада или {learnMoreLink}.","codex.appUpsellBanner.title":"Апликација Codex","codex.applyDropdown.header.changes":"Промене","codex.applyDropdown.header.fileCount":"{count, plural, one {# датотека} few {# датотека} other {# датотека}}","codex.applyDropdown.header.rows":"реда(ова)","codex.applyDropdown.header.title":"Примени промене","codex.applyDropdown.header.workspace":"Пројекат","codex.applyDropdown.results.conflicted":"{count, plural, one {1 датотека садржи неусаглашеност:} few {{count} датотеке садрже неусаглашеност:} other {{count} датотека садржи неусаглашеност:}}","codex.applyDropdown.results.empty":"Ниједна датотека није копирана","codex.applyDropdown.results.skipped":"{count, plural, one {1 датотека је прескочена:} few {{count} датотеке су прескочене:} other {{count} датотека је прескочено:}}","codex.applyOrRevertBanner.apply":"Примени","codex.applyOrRevertBanner.applyMessage":"Применити промене и наставити локално?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Овај задатак је направљен у окружењу {environment}, па се можда неће применити без проблема.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Промене направљене у окружењу {environment} се можда неће применити без проблема.","codex.applyOrRevertBanner.reapply":"Поново примени","codex.applyOrRevertBanner.revert":"Врати","codex.applyOrRevertBanner.revertMessage":"Вратити примењене промене?","codex.applyResultsDialog.applied":"Примењено без проблема ({count})","codex.applyResultsDialog.close":"Затвори","codex.applyResultsDialog.conflicted":"Неусаглашено ({count})","codex.applyResultsDialog.noDetails":"Нема доступних детаља о датотеци.","codex.applyResultsDialog.skipped":"Прескочено ({count})","codex.applyResultsDialog.title":"Примени резултате","codex.archiveInfo":"Прикажи архивирана ћаскања на {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Контроле за податаке","codex.archiveInfo.electron":"Прикажи архивирана ћаскања на {settingsLink}","codex.archiveInfo.extension":"Прикажи архивирана ћаскања у .codex фасцикли.","codex.archiveInfo.settingsLink":"Подешавања","codex.banner.content.description":"Покрећи задатке паралелно, прати напредак било где и прегледај pull захтеве уз помоћ вештачке интелигенције.","codex.banner.content.headline":"Codex ради све.","codex.cloudTaskRow.archiveTask":"Архивирај задатак","codex.cloudTaskRow.confirmArchiveTask":"Потврди","codex.command.feedback":"Повратне информације","codex.command.findInThread":"Пронађи","codex.command.forceReloadSkills":"Принудно поново учитај вештине","codex.command.logOut":"Одјави ме","codex.command.manageTasks":"Управљај задацима","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Назад","codex.command.navigateForward":"Проследи","codex.command.newThread":"Нова нит","codex.command.nextThread":"Следећа нит","codex.command.openFolder":"Отвори фасциклу","codex.command.openSkills":"Иди на вештине","codex.command.openThreadOverlay":"Избаци низ","codex.command.personalitySettings":"Личност","codex.command.previousThread":"Претходна нит","codex.command.settings":"Подешавања","codex.command.toggleDiffPanel":"Укључи/искључи diff панел","codex.command.toggleSidebar":"Укључи/искључи бочну траку","codex.command.toggleTerminal":"Укључи/искључи терминал","codex.commandGroup.app":"Апликација","codex.commandGroup.configure":"Конфигуриши","codex.commandGroup.navigation":"Навигација","codex.commandGroup.panels":"Панели","codex.commandGroup.skills":"Вештине","codex.commandGroup.thread":"Нит","codex.commandGroup.workspace":"Пројекат","codex.commandMenu.noResults":"Нема подударања","codex.commandMenu.searchPlaceholder":"Команде за претрагу","codex.commandMenu.suggestedGroup":"Препоручено","codex.commandMenu.switchWorkspace":"Промени пројекат","codex.commandMenu.title":"Мени са командама","codex.common.retry":"Покушај поново","codex.composer.searchBranches":"Претражи огранке","codex.dialog.basic.body":"Ово је једноставан модални дијалог направљен помоћу нашег омотача око Radix Dialog компоненте.","codex.dialog.basic.cancel":"Откажи","codex.dialog.basic.confirm":"Потврди","codex.dialog.basic.open":"Отвори дијалог","codex.dialog.basic.title":"Пробни дијалог","codex.dialog.long.close":"Затвори","codex.dialog.long.line":"Линија која се може скроловати {index} ради приказа дугачког садржаја унутар дијалога.","codex.dialog.long.open":"Отвори дугачки дијалог","codex.dialog.long.title":"Дијалог са дугачким садржајем","codex.dialog.unstyled.body":"Ова прича показује како позиваоци могу у потпуности да контролишу стил садржаја дијалога.","codex.dialog.unstyled.open":"Отвори дијалог без стила","codex.dialog.unstyled.title":"Садржај без стила","codex.diff.openInEditorPrompt.openButton":"Отвори у уређивачу","codex.diff.openInEditorPrompt.singleLine":"Датотека је превелика за приказ овде.","codex.diffView.failedToDecodeBase64Diff":"Није успело декодирање base64 поређење","codex.diffView.filesChanged":"{fileCount, plural, one {# датотека је промењена} few {# датотеке су промењене} other {# датотека је промењено}}","codex.diffView.imagePreviewAlt":"Прелиминарни приказ слике","codex.diffView.imagePreviewEmpty":"Нема слике","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Нема разлика између упоређених верзија","codex.diffView.pdfPreview.nextPage":"Следећа страна","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Претходна страна","codex.diffView.pdfPreviewEmpty":"Нема PDF прегледа","codex.diffView.pdfPreviewError":"Није могуће рендеровати PDF преглед","codex.diffView.richPreviewDisable":"Онемогући детаљан преглед","codex.diffView.richPreviewEnable":"Омогући детаљан преглед","codex.diffView.richPreviewLoading":"Учитавање прегледа...","codex.diffView.richPreviewToggle":"Укључи/искључи детаљан преглед","codex.diffView.switchToUnified":"Пребаци на јединствени приказ","codex.environmentSelector.noEnvironment":"Нема окружења","codex.environments.environmentSettings":"Подешавања окружења","codex.environments.learnMore":"Сазнај више","codex.environments.listError":"Учитавање окружења није успело.","codex.environments.noEnvironmentsFound":"Окружења нису пронађена","codex.environments.searchError":"Није успела претрага окружења.","codex.errorBoundary.genericError":"Упс, дошло је до грешке","codex.errorBoundary.goHome":"Покушај поново","codex.file.patch.missing":"Није могуће направити закрпу за ову датотеку.","codex.gallery.automations.cwdLabel":"Пројекти","codex.gallery.automations.nameLabel":"Назив","codex.gallery.automations.namePlaceholder":"Резимирај задатак","codex.gallery.automations.promptLabel":"Промпт","codex.gallery.automations.promptPlaceholder":"Опиши шта би Codex требало да ради","codex.gallery.dialogs.automation.label":"Дијалог аутоматизације","codex.gallery.dialogs.basic.body":"Користи овај распоред за директне потврде или кратке верзије.","codex.gallery.dialogs.basic.cancel":"Откажи","codex.gallery.dialogs.basic.confirm":"Потврди","codex.gallery.dialogs.basic.label":"Основни дијалог","codex.gallery.dialogs.basic.title":"Пробни дијалог","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Опиши проблем","codex.gallery.dialogs.feedbackSubmission.bad":"Лош резултат","codex.gallery.dialogs.feedbackSubmission.bug":"Грешка","codex.gallery.dialogs.feedbackSubmission.good":"Добар резултат","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Укључи евиденције тренутне Codex сесије","codex.gallery.dialogs.feedbackSubmission.label":"Слање повратних информација","codex.gallery.dialogs.feedbackSubmission.other":"Друго","codex.gallery.dialogs.feedbackSubmission.placeholder":"Овде опиши проблем","codex.gallery.dialogs.feedbackSubmission.submit":"Пошаљи","codex.gallery.dialogs.feedbackSubmission.title":"Повратне информације","codex.gallery.dialogs.feedbackSuccess.body":"Повратне информације су отпремљене. Ако се проблем настави, отвори GitHub проблем или помени ИД нити у постојећем отвореном проблему:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Одбаци","codex.gallery.dialogs.feedbackSuccess.label":"Успех повратних информација","codex.gallery.dialogs.feedbackSuccess.title":"Повратне информације су отпремљене","codex.gallery.dialogs.gitApplyResults.applied":"Примењено без проблема (2)","codex.gallery.dialogs.gitApplyResults.close":"Затвори","codex.gallery.dialogs.gitApplyResults.conflicted":"Неусаглашено (1)","codex.gallery.dialogs.gitApplyResults.label":"Примени резултате","codex.gallery.dialogs.gitApplyResults.title":"Примени резултате","codex.gallery.dialogs.gitPushError.body":"Направи pull над најновијим променама или принудни push ако знаш да је безбедно заменити даљинску историју.","codex.gallery.dialogs.gitPushError.cancel":"Откажи","codex.gallery.dialogs.gitPushError.force":"Принудни push","codex.gallery.dialogs.gitPushError.label":"Push грешка","codex.gallery.dialogs.gitPushError.subtitle":"Огранак је иза огранка origin/main.","codex.gallery.dialogs.gitPushError.title":"Наредба push над променама није успела","codex.gallery.dialogs.gitRevert.cancel":"Откажи","codex.gallery.dialogs.gitRevert.confirm":"Врати","codex.gallery.dialogs.gitRevert.label":"Врати промене","codex.gallery.dialogs.gitRevert.skip":"Не питај поново","codex.gallery.dialogs.gitRevert.subtitle":"Ова радња уклања све те промене.","codex.gallery.dialogs.gitRevert.title":"Желиш ли да вратиш промене?","codex.gallery.dialogs.longForm.label":"Дугачка верзија дијалога","codex.gallery.dialogs.proseModal.body":"Овај стил модала се користи за дужа упутства, увођење или блокове обогаћеног садржаја.","codex.gallery.dialogs.proseModal.close":"Затвори","codex.gallery.dialogs.proseModal.subtitle":"Овде дели смернице или документацију за дужу верзију.","codex.gallery.dialogs.proseModal.title":"Prose модал","codex.gallery.dialogs.submitBlocked.label":"Пошаљи блокирано","codex.gallery.dialogs.submitBlocked.message":"Порука није послата јер пројекат није доступан.","codex.gallery.dialogs.submitBlocked.ok":"У реду","codex.gallery.dialogs.submitBlocked.title":"Није могуће послати поруку","codex.gallery.dialogs.title":"Дијалози","codex.gallery.dropdown.filterPlaceholder":"Филтрирај ставке","codex.gallery.dropdowns.actionRow":"Радови радњи","codex.gallery.dropdowns.actionRow.disabled":"Онемогућена радња","codex.gallery.dropdowns.actionRow.primary":"Примарна радња","codex.gallery.dropdowns.actionRow.secondary":"Секундарна радња","codex.gallery.dropdowns.actionRow.trigger":"Прикажи радње","codex.gallery.dropdowns.basic":"Основни падајући мени","codex.gallery.dropdowns.basic.newFile":"Нова датотека","codex.gallery.dropdowns.basic.newFolder":"Нови директоријум","codex.gallery.dropdowns.basic.openSettings":"Отвори подешавања","codex.gallery.dropdowns.basic.title":"Брзе радње","codex.gallery.dropdowns.basic.trigger":"Отвори мени","codex.gallery.dropdowns.basic.upload":"Отпремање","codex.gallery.dropdowns.panel":"Површина панела","codex.gallery.dropdowns.panel.apply":"Примени","codex.gallery.dropdowns.panel.body":"Прегледај diff-ове и примени на пројекат.","codex.gallery.dropdowns.panel.preview":"Преглед","codex.gallery.dropdowns.panel.title":"Примени промене","codex.gallery.dropdowns.panel.trigger":"Отвори панел","codex.gallery.dropdowns.search":"Падајући мени који се може претражити","codex.gallery.dropdowns.search.first":"Алфа-канал","codex.gallery.dropdowns.search.second":"Бета-огранак","codex.gallery.dropdowns.search.third":"Теоретска верзија","codex.gallery.dropdowns.search.trigger":"Филтрирај ставке","codex.gallery.dropdowns.submenu":"Падајући мени са подменијем","codex.gallery.dropdowns.submenu.optionA":"Пројекат алфа","codex.gallery.dropdowns.submenu.optionB":"Пројекат бета","codex.gallery.dropdowns.submenu.optionC":"Пројекат гама","codex.gallery.dropdowns.submenu.primary":"Додели власника","codex.gallery.dropdowns.submenu.secondary":"Премести у","codex.gallery.dropdowns.submenu.tertiary":"Архивирај","codex.gallery.dropdowns.submenu.trigger":"Одабери радњу","codex.gallery.dropdowns.title":"Падајући менији","codex.gallery.inbox.automations.close":"Затвори","codex.gallery.inbox.automations.popover.cardTitle":"Управљај аутоматизацијама","codex.gallery.inbox.automations.popover.dialogTitle":"Управљај аутоматизацијама","codex.header.settingsTooltip":"Подешавања","codex.hunk.patch.error":"Није постављено","codex.hunk.patch.missing":"Закрпа није направљена за овај hunk.","codex.hunk.patch.partialSuccess":"Делимичан успех","codex.hunk.patch.revertError":"Постављање није опозвано","codex.hunk.patch.revertSuccess":"Постављање је опозвано","codex.hunk.patch.success":"Успешно постављено","codex.legal.autonomy.details":"За више детаља погледај {link}","codex.legal.autonomy.details.link":"Codex документи","codex.legal.autonomy.title":"Одлучи колико аутономије желиш да дозволиш","codex.legal.backButton":"Назад","codex.legal.cloud.taskOne.meta":"openai/agi · 12. октобар","codex.legal.cloud.taskOne.title":"Објасни спремиште новом дизајнеру","codex.legal.cloud.taskThree.meta":"openai/codex · 8. октобар","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Направи тему у тамном режиму","codex.legal.cloud.taskTwo.meta":"openai/agi · 9. октобар","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Поправи грешку у процесу увођења","codex.legal.continue.apikey":"Настави","codex.legal.continueButton":"Даље","codex.legal.copilot.details":"Користи Copilot план за све позиве модела, обрачун и ограничења брзине. Употреба Codex екстензије подлеже и {oaiTos} и {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Услови коришћења услуге за GitHub","codex.legal.copilot.oaiTosLink":"Услови коришћења услуге за OpenAI Codex","codex.legal.copilot.title":"Покреће GitHub Copilot","codex.legal.mistakes.review":"Прегледај код који пише и команде које извршава","codex.legal.mistakes.title":"Codex може да прави грешке","codex.legal.powered.details":"Користи ограничења брзине твог плана и {link}","codex.legal.powered.details.link":"жељене поставке података обуке","codex.legal.powered.title":"Покреће га твој ChatGPT налог","codex.legal.step.cloud.subtitle":"Пошаљи задатке Codex-у да се извршавају у позадини како би могао да останеш фокусиран и радиш брже.","codex.legal.step.cloud.title":"Пребаци Codex-у у облаку","codex.legal.step.intro.subtitle":"Codex се креће кроз спремиште, уређује, покреће команде и извршава тестове директно унутар твог спремишта. Покреће га твој ChatGPT налог.","codex.legal.step.intro.title":"Codex у твом IDE окружењу","codex.legal.step.todo.subtitle":"Напиши TODO коментар и једним кликом га претвори у Codex задатак.","codex.legal.step.todo.title":"Претвори TODO задатке у Codex задатке","codex.legal.todo.heading":"// TODO: implement schema","codex.localConversation.closeImagePreview":"Затвори преглед слике","codex.localConversation.userImageAttachment":"Кориснички прилог","codex.localTaskRow.archiveTask":"Архивирај нит","codex.localTaskRow.awaitingApproval":"Чека се одобрење","codex.localTaskRow.awaitingResponse":"Чека се одговор","codex.localTaskRow.confirmArchiveTask":"Потврди","codex.loggedOut.apiKeyPrompt.cancel":"Откажи","codex.loggedOut.apiKeyPrompt.confirm":"У реду","codex.loggedOut.apiKeyPrompt.getKey":"Набави API кључ","codex.loggedOut.apiKeyPrompt.inputLabel":"Унеси свој OpenAI API кључ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Задаци облака су онемогућени када се користи API кључ","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Задаци облака су онемогућени када се користи Copilot и API кључ","codex.loggedOut.signIn":"Пријави се користећи ChatGPT","codex.loggedOut.signIn.cancel":"Откажи пријављивање","codex.loggedOut.signInWithCopilot":"Пријави се користећи GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Користи API кључ","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Алатка {tool} MCP сервера {server}","codex.mcpTool.collapsedLabel.verb.called":"Позвано","codex.mcpTool.collapsedLabel.verb.calling":"Позивање","codex.mcpTool.embeddedResource.contentLabel":"Садржај","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME тип","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Алатка није вратила никакав садржај","codex.mcpTool.rawPayloadHeading":"Корисни проток позива алатке {server}.{tool}","codex.menu.recent":"Недавно","codex.menu.seeAllHistory":"Прегледај комплетну историју","codex.modelCapacityBanner.headline.noReset":"Сав капацитет модела {modelName} је тренутно заузет. Покушај поново касније или започни нови разговор користећи други модел.","codex.modelCapacityBanner.headline.withReset":"Сав капацитет модела {modelName} је тренутно заузет. Покушај поново након {resetDate} или започни нови разговор користећи други модел.","codex.modelCapacityBanner.title":"Сав капацитет изабраног модела је заузет","codex.patch.change.contentsDeleted":"Садржај је избрисан","codex.patch.change.created":"Направљено","codex.patch.change.created-file":"Датотека је направљена","codex.patch.change.creating":"Прави се","codex.patch.change.deleted":"Избрисано","codex.patch.change.deleted-file":"Датотека је избрисана","codex.patch.change.deleting":"Брисање","codex.patch.change.edited":"Измењено","codex.patch.change.edited-file":"Измењена датотека","codex.patch.change.editing":"Уношење измена","codex.patch.change.noChanges":"Нема промена","codex.patch.change.rejected-add":"Одбијено","codex.patch.change.rejected-delete":"Одбијено","codex.patch.change.rejected-edit":"Одбијено","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} од {total} задатака је завршено","codex.plan.todoListCreated":"Листа задатака је креирана са следећим бројем задатака: {total}","codex.profileDropdown.apiKeyAuth":"Пријављено уз API кључ","codex.profileDropdown.codexSettings":"Подешавања Codex-а","codex.profileDropdown.copilotAuth":"Пријављен уз Copilot","codex.profileDropdown.defaultAccountTitle":"Подразумевани налог","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter за слање дугачких промптова","codex.profileDropdown.enterBehaviorError":"Ажурирање подешавања није успело","codex.profileDropdown.getPlus":"Надогради за мања ограничења","codex.profileDropdown.keyboardShortcuts":"Тастерске пречице","codex.profileDropdown.language":"Језик","codex.profileDropdown.languageDefault":"Аутоматскo откривање","codex.profileDropdown.languageSearchPlaceholder":"Претражи језике","codex.profileDropdown.languageUpdateError":"Језик није ажуриран","codex.profileDropdown.logOut":"Одјави ме","codex.profileDropdown.mcp":"MCP подешавања","codex.profileDropdown.openConfigToml":"Отвори config.toml","codex.profileDropdown.openConfigToml.wsl":"Отвори config.toml у WSL окружењу","codex.profileDropdown.openExtensionSettings":"Отвори подешавања","codex.profileDropdown.openMcpSettings":"Отвори MCP подешавања","codex.profileDropdown.openOnStartup":"Отвори при покретању","codex.profileDropdown.openOnStartupError":"Ажурирање подешавања није успело","codex.profileDropdown.openSkillsSettings":"Отвори подешавања вештина","codex.profileDropdown.personalAccountTitle":"Лични налог","codex.profileDropdown.queueFollowUps":"Ставке дубљег испитивања у ред","codex.profileDropdown.queueFollowUpsError":"Ажурирање подешавања није успело","codex.profileDropdown.readDocs":"Прочитај документе","codex.profileDropdown.readSkillsDocs":"Прочитај документе","codex.profileDropdown.runInWsl":"Покрени у WSL","codex.profileDropdown.runInWslError":"Ажурирање подешавања није успело","codex.profileDropdown.runInWslTooltip":"Покреће Codex унутар WSL-а. Препоручује се ради побољшане безбедности sandbox окружења и бољих перформанси.","codex.profileDropdown.settings":"IDE подешавања","codex.profileDropdown.settingsPage":"Подешавања","codex.profileDropdown.signInWithOpenAI":"Пријави се користећи ChatGPT","codex.profileDropdown.skills":"Подешавања вештина","codex.profileDropdown.switchToCopilotAccount":"Користи Copilot налог","codex.profileDropdown.switchToOpenAIAccount":"Користи OpenAI налог","codex.profileDropdown.todoCodelens":"Реши TODO коментаре","codex.profileDropdown.todoCodelensError":"Ажурирање подешавања није успело","codex.profileDropdown.windowsDocumentation":"Windows документација","codex.profileFooter.signedInFallback":"Подешавања","codex.profileFooter.upgrade":"Надогради","codex.recentTasksMenu.clearSearch":"Обриши претрагу","codex.recentTasksMenu.cloud":"Задаци у облаку","codex.recentTasksMenu.count":"{count, plural, =0 {Ниједан задатак није у току} one {# задатак у току} few {# задатка у току} other {# задатака у току}}","codex.recentTasksMenu.empty":"Још нема преписки","codex.recentTasksMenu.errorCloud":"Није успело учитавање задатака.","codex.recentTasksMenu.errorCloud.inline":"Није успело учитавање задатака у облаку.","codex.recentTasksMenu.filterAll":"Све","codex.recentTasksMenu.filterCloudTasks":"Филтрирај задатке у облаку","codex.recentTasksMenu.filterTooltip":"Филтрирај задатке по окружењу","codex.recentTasksMenu.local":"Локални задаци","codex.recentTasksMenu.recent":"Сви задаци","codex.recentTasksMenu.search":"Претражи недавне задатке","codex.recentTasksMenu.searchEmpty":"Нема резултата","codex.recentTasksMenu.tooltip":"Историја задатка","codex.recentTasksMenu.trigger":"Недавни задаци. {count, plural, one {# у току} few {# у току} other {# у току}}","codex.remoteConversation.applyDiff.applyCta":"Примени промене","codex.remoteConversation.applyDiff.dropdownTitle":"Примени промене на локални огранак","codex.remoteConversation.applyDiff.revertCta":"Врати промене","codex.remoteConversation.closeImagePreview":"Затвори преглед слике","codex.remoteConversation.codexCloudTask":"Прегледате задатак у <u>Codex облаку</u>","codex.remoteConversation.errorWithMessage":"Грешка: {message}","codex.remoteConversation.loadingImage":"Учитавање слике","codex.remoteConversation.openInWeb":"Отвори на вебу","codex.remoteConversation.streaming":"Први кораци","codex.remoteConversation.turnFailed":"Дошло је до грешке током овог задатка","codex.remoteConversation.turnTab.loading":"Покушај {number}","codex.remoteConversation.turnTab.title":"Покушај {number}","codex.remoteConversation.userImageAttachment":"Кориснички прилог","codex.remoteConversation.viewPreviousTurns":"Отвори на вебу","codex.remoteConversation.viewPreviousTurns.buttonText":"Отвори","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Отвори на вебу","codex.review.copyGitApplyCommand":"Копирај команду git apply","codex.review.copyGitApplyCommand.toast":"Команда git apply је копирана у привремену меморију","codex.review.diffTooLarge.description":"Овај diff је превелики за приказ у прегледу.","codex.review.diffTooLarge.title":"Diff је превелики за приказ","codex.review.expandOrCollapseDiffButton.collapse":"Скупи све разлике","codex.review.expandOrCollapseDiffButton.expand":"Прошири све разлике","codex.review.expandOrCollapseDiffMenu.collapse":"Скупи све diff-ове","codex.review.expandOrCollapseDiffMenu.expand":"Прошири све diff-ове","codex.review.fileSearch.clear":"Обриши филтер датотека","codex.review.fileSearch.empty":"Ниједна датотека не одговара тренутном филтеру.","codex.review.fileSearch.label":"Филтрирање датотека","codex.review.fileSearch.placeholder":"Филтрирање датотека...","codex.review.filesChanged":"{num, plural, =0 {Ниједна датотека није промењена} one {# датотека је промењена} few {# датотека је промењено} other {# датотека је промењено}}","codex.review.find.loadMore":"Учитај још подударања","codex.review.fullReview.hideFileTree":"Сакриј стабло датотеке","codex.review.fullReview.showFileTree":"Прикажи стабло датотеке","codex.review.header.moreOptions":"Опције прегледа","codex.review.largeDiff.banner":"Откривен је велики diff – приказује се једна по једна датотека.","codex.review.loadFullFiles.disable":"Не учитавај целе датотеке","codex.review.loadFullFiles.enable":"Учитавај целе датотеке","codex.review.noDiff":"Промене датотеке ће се приказати овде","codex.review.noDiff.gitInit.createRepository":"Направи Git спремиште","codex.review.noDiff.gitInit.creating":"Прављење...","codex.review.noDiff.gitInit.error":"Git init није успео: {message}","codex.review.noDiff.gitInit.success":"Git спремиште је направљено","codex.review.noDiff.gitRepoRequired.description":"Прати и опозови промене у овом пројекту","codex.review.noDiff.gitRepoRequired.title":"Направи Git спремиште","codex.review.noDiff.orNoLongerAvailable":"или најновији diff-ови више нису доступни","codex.review.noDiff.reverted":"Последњи корак је враћен","codex.review.noDiff.revertedOrCommitted":"Последњи корак је враћен или примењен","codex.review.refreshGitQueries":"Освежи","codex.review.revert.file.error":"Није враћено на путањи {path}","codex.review.revert.file.partialSuccess":"Делимично је враћено на путањи {path}","codex.review.revert.file.success":"Враћено је на путањи {path}","codex.review.revert.hunk.error":"Није враћен hunk {hunkNumber} на путањи {path}","codex.review.revert.hunk.partialSuccess":"Делимично је враћен hunk {hunkNumber} на путањи {path}","codex.review.revert.hunk.success":"Враћен је hunk {hunkNumber} на путањи {path}","codex.review.revert.section.error":"Одељак није враћен","codex.review.revert.section.partialSuccess":"Одељак је делимично враћен","codex.review.revert.section.success":"Одељак је враћен","codex.review.revertDialog.cancel":"Откажи","codex.review.revertDialog.confirm":"Потврди","codex.review.revertDialog.message":"Ова радња уклања све те промене.","codex.review.revertDialog.skip":"Не питај поново","codex.review.revertDialog.title":"Желиш ли да вратиш промене?","codex.review.richPreview.disable":"Онемогући детаљан преглед","codex.review.richPreview.enable":"Омогући детаљан преглед","codex.review.source.cloud":"Промене у облаку","codex.review.source.local.all":"Промене свих огранака","codex.review.source.local.lastTurn":"Промене у последњем кругу","codex.review.source.local.uncommitted":"Неуписане промене","codex.review.source.worktree":"За промене стабла рада није издата команда committ","codex.review.stageFilter.empty.staged.description":"Прихвати измене и постави их","codex.review.stageFilter.empty.staged.title":"Нема постављених промена","codex.review.stageFilter.empty.unstaged.description":"Промене кода ће се приказати овде","codex.review.stageFilter.empty.unstaged.title":"Нема непостављених промена","codex.review.stageFilter.staged":"Постављено","codex.review.stageFilter.staged.count":"Постављено · {count}","codex.review.stageFilter.unstaged":"Није постављено","codex.review.stageFilter.unstaged.count":"Није постављено · {count}","codex.review.switchToSplit":"Пребаци на подељени diff","codex.review.switchToUnified":"Пребаци на обједињени diff","codex.review.toggleDiffView":"Укључи/искључи приказ diff-а","codex.review.wordDiffs.disable":"Онемогући diff-ове за речи","codex.review.wordDiffs.enable":"Омогући diff-ове за речи","codex.review.wrap.disable":"Онемогући пребацивање речи у следећи ред","codex.review.wrap.enable":"Омогући пребацивање речи у следећи ред","codex.section.patch.missing":"Закрпа није направљена за овај одељак.","codex.shell.collapse":"Скупи командну линију","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Копиран је садржај командне линије","codex.shell.copy.copyTooltip":"Копирај садржај командне линије","codex.shell.copyCommand":"Команда за копирање","codex.shell.copyOutput":"Излаз копирања","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Развиј командну линију","codex.shell.name":"Командна линија","codex.shell.noOutput":"Нема излаза","codex.signInFailed.message":"Пријава није успела: {rawMessage}","codex.stories.toast.show":"Прикажи поздрав","codex.stories.tooltip.basic":"Ово је савет за алатку","codex.stories.tooltip.hoverMe":"Задржи курсор изнад мене","codex.stories.tooltip.largerOffset":"Овај облачић с објашњењем има веће померање","codex.stories.tooltip.offsetButton":"Веће померање","codex.stories.tooltip.shortcutButton":"Уз пречицу","codex.stories.tooltip.withShortcut":"Укључи/искључи терминал","codex.taskRow.title":"Нова нит","codex.taskRowLayout.confirm":"Потврди","codex.threadFindBar.chatFilter":"Претражи ћаскање","codex.threadFindBar.close":"Затвори проналажење","codex.threadFindBar.diffFilter":"Претражи diff-ове","codex.threadFindBar.label":"Пронађи у нити","codex.threadFindBar.nextResult":"Следећи резултат","codex.threadFindBar.noResults":"0 резултата","codex.threadFindBar.placeholder":"Претражи нит…","codex.threadFindBar.placeholder.extension":"Претражи нит…","codex.threadFindBar.placeholder.review":"Претражи diff...","codex.threadFindBar.placeholder.review.extension":"Претражи diff...","codex.threadFindBar.previousResult":"Претходни резултат","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# датотека је промењена} few {# датотеке су промењене} other {# датотека је промењено}}","codex.unifiedDiff.inlineLargeFile":"Превелико за приказивање унутар редова","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Опозови","codex.unifiedDiff.revertPatchError":"Није успело враћање промена","codex.unifiedDiff.revertPatchSuccess":"Помене су враћене","codex.unifiedDiff.reviewChangesSuffix":"промене","codex.unifiedDiff.reviewShort":"Прегледај","codex.unifiedDiff.viewDiffTooltip":"Прегледај","codex.upsellBanner.business.headline":"Сада можеш да добијеш даљи приступ ако пошаљеш захтев администратору. Можеш и да чекаш до {resetDate}","codex.upsellBanner.cbp.headline":"Сада можеш да добијеш даљи приступ ако пошаљеш захтев администратору.","codex.upsellBanner.cta.addCredits":"Додај кредите","codex.upsellBanner.cta.upgradeAccount":"Надогради","codex.upsellBanner.cta.viewUsage":"Прикажи коришћење","codex.upsellBanner.free.trialHeadline":"Ограничење ће се ресетовати {resetDate}. Ако желиш да наставиш да користиш Codex и добијеш приступ за GPT-5.3-Codex, започни бесплатну пробу плана Plus већ данас.","codex.upsellBanner.freeOrGo.headline":"Ограничење брзине се ресетује {resetDate}. Ако желиш да наставиш да користиш Codex, надогради на Plus данас.","codex.upsellBanner.general.headline":"Ограничење брзине се ресетује {resetDate}.","codex.upsellBanner.general.title":"Понестало ти је Codex порука","codex.upsellBanner.go.trialHeadline":"Ограничење ће се ресетовати {resetDate}. Ако желиш да наставиш да користиш Codex, започни бесплатну пробу плана Plus већ данас. ","codex.upsellBanner.plus.headline":"Ограничење брзине се ресетује {resetDate}. Ако желиш да наставиш да користиш Codex, додај кредите или надогради на Pro данас.","codex.upsellBanner.pro.headline":"Ограничење брзине се ресетује {resetDate}. Додај кредите ако желиш да наставиш да користиш Codex одмах.","codex.userMessage.autoResolveSync":"Аутоматски разреши неусаглашености","codex.userMessage.commentCount":"{count, plural, one {# коментар} few {# коментара} other {# коментара}}","codex.userMessage.copiedAriaLabel":"Копирано","codex.userMessage.copiedTooltip":"Копирано","codex.userMessage.copyAriaLabel":"Копирај поруку","codex.userMessage.copyTooltip":"Копирај","codex.userMessage.implementPlan":"Примени план","codex.userMessage.noContent":"(Нема садржаја)","codex.userMessage.priorConversation":"Упућује на претходни разговор","codex.userMessage.reviewMode":"Режим прегледа","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"за {query}","codex.webSearch.summary.verb.completed":"Претрага веба је завршена","codex.webSearch.summary.verb.inProgress":"Претрага веба је у току","codex.windowsInstallWslBanner.dismiss":"Одбаци","codex.windowsInstallWslBanner.installWslCta":"Омогући sandbox","codex.windowsInstallWslBanner.learnMore":"Сазнај више","codex.windowsSandboxBanner.content":"Режим агента користи експериментални sandbox на Windows оперативном систему како би ограничио приступ систему датотека и мрежним ресурсима.{sandboxLink}","codex.windowsSandboxBanner.title":"Омогући sandbox за режим агента","codex.windowsSubDropdown.windowsSandbox":"Windows кутија за песак","codex.windowsSubDropdown.windowsSettings":"Windows подешавања","codexUpgradeModal.body":"Наш најновији водећи агентски модел за кодирање – паметнији, бржи и способнији за опште техничке послове. {link}","codexUpgradeModal.close":"Затвори","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Сазнај више","codexUpgradeModal.title":"Представљамо GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Испробај GPT-5.3-Codex сада","codexUpgradeModal.useExistingModel":"Настави са тренутним моделом","commentAttachments.numComments":"{count, plural, one {# коментар} few {# коментара} other {# коментара}}","commentAttachments.removeAriaLabel":"Уклони прилог с коментарима","common.close":"Затвори","composer.addContext.openFilePickerError":"Није могуће отворити бирач датотека","composer.addContextDropdown.ariaLabel":"Додај датотеке и друго","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Додај датотеке и друго","composer.addPhotosAndFiles":"Додај фотографије и датотеке","composer.atMentionList.emptyQuery":"Откуцај да претражиш датотеке","composer.atMentionList.loading":"Претраживање...","composer.atMentionList.noResults":"Нема резултата","composer.attemptsSelector.option":"{count, plural, one {# верзија} few {# верзије} other {# верзија}}","composer.attemptsSelector.tooltip":"Број паралелних покушаја које Codex треба да изврши","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Заустави","composer.cloudFollowUp.cloud":"Облак","composer.cloudFollowUp.local":"Локална","composer.cloudFollowUp.whereRun":"Где би овај накнадни корак требало да се изврши?","composer.cloudTaskCreationError":"Грешка при прављењу задатка у облаку","composer.cloudTaskError":"Грешка при прављењу задатка","composer.contextWindow.autoCompactionTooltipLine1":"Codex аутоматски сабија свој контекст","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Прозор контекста:","composer.contextWindowUsageStatusFull":"{usage}% пуна","composer.contextWindowUsageStatusLeft":"{usage}% је коришћено ({remaining}% је преостало)","composer.contextWindowUsageTooltip":"{usedTokens} хиљада / {contextWindow} хиљада токена је коришћено","composer.customCliTooltip":"Коришћење прилагођеног извршног програма CLI интерфејса","composer.dictation.aria":"Диктирај","composer.dictation.cancel.aria":"Прекини диктирање","composer.dictation.cancel.tooltip":"Прекини диктирање","composer.dictation.startError":"Покретање диктата није могуће","composer.dictation.submit.aria":"Транскрибуј и пошаљи","composer.dictation.submit.tooltip":"Транскрибуј и пошаљи","composer.dictation.tooltip":"Задржи и диктирај","composer.dictation.transcribeError":"Транскрипција звука није могућа","composer.dictation.unsupported":"Диктат није доступан на овом уређају","composer.dropOverlay.holdShift":"Задржи {key} за испуштање","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Направи ново","composer.environmentSelector.error":"Грешка при учитавању окружења","composer.environmentSelector.goBack":"Назад на композитор","composer.environmentSelector.title":"Изабери окружење","composer.environmentSelector.tooltip":"Изабери окружење у облаку","composer.feedbackSlashCommand.title":"Повратне информације","composer.filePicker.selectFile":"Изабери датотеку","composer.filePicker.selectFiles":"Бирање датотека","composer.followerTooltip":"Ако желиш да наставиш, врати се на прозор у коме је овај разговор почео.","composer.footer.branchSwitch.checkoutError":"Огранак није промењен: {message}","composer.footer.branchSwitch.createAndCheckout":"Направи и обави checkout новог огранка…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Изврши commit над променама да направиш нови огранак и његов checkout","composer.footer.branchSwitch.createBranchError":"Прављење огранка није успело: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Назив огранка","composer.footer.branchSwitch.createDialog.branchExistsError":"Огранак већ постоји.","composer.footer.branchSwitch.createDialog.close":"Затвори","composer.footer.branchSwitch.createDialog.createAndCheckout":"Направи и обави checkout","composer.footer.branchSwitch.createDialog.placeholder":"нови огранак","composer.footer.branchSwitch.createDialog.title":"Направи и обави checkout огранка","composer.footer.branchSwitch.createDialog.trailingSlashError":"Назив огранка не може да се завршава на „/”","composer.footer.branchSwitch.tooltip":"Промени огранак","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Изврши команду commit над променама у {fileCount, plural, one {# датотека} few {# датотека} other {# датотека}} како би се обавио check out огранка {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"променама у {fileCount, plural, one {# датотека} few {# датотека} other {# датотека}} како би се обавио check out огранка {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Откажи","composer.footer.branchSwitch.uncommittedDialog.commit":"Изврши команду commit и промени огранак…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Твоје промене следећих датотека би биле замењене за checkout:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Изврши команду commit над променама и настави","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"изабрани огранак","composer.footer.branchSwitch.uncommittedDialog.title":"Изврши команду commit над променама и промени огранак","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Нема commit-а: {fileCount, plural, one {# датотека} few {# датотека} other {# датотека}}","composer.forkSlashCommand.description":"Додатно копирај ову нит локално или на ново стабло рада","composer.forkSlashCommand.option.local.description":"Настави у новој локалној нити","composer.forkSlashCommand.option.local.title":"Додатно копирај локално","composer.forkSlashCommand.option.worktree.description":"Настави на новом стаблу рада","composer.forkSlashCommand.option.worktree.title":"Форкуј на ново стабло рада","composer.forkSlashCommand.title":"Форкуј","composer.ideContextIndicator":"Контекст IDE окружења","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Укључи контекст из IDE-а","composer.ideContextIndicator.tooltipToggle":"за укључивање/искључивање","composer.ideContextSlashCommand.disableDescription":"Искључи IDE контекст","composer.ideContextSlashCommand.enableDescription":"Укључи тренутни избор, отворене датотеке и други контекст из IDE окружења","composer.ideContextSlashCommand.title":"Контекст IDE окружења","composer.imageInputsUnsupported":"Овај модел не подржава уносе слика. Испробај други модел.","composer.imageUploadFailed":"Није успело отпремање слике","composer.includeIdeContextDropdown":"Укључи IDE контекст","composer.includeIdeContextDropdown.ariaLabel":"Укључи IDE контекст","composer.localCwdDropdown.addWorkspaceRoot":"Додај нови пројекат","composer.localCwdDropdown.noActiveRoot":"Изабери пројекат","composer.localCwdDropdown.noResults":"Није пронађена ниједна фасцикла","composer.localCwdDropdown.title":"Изабери пројекат","composer.localTaskError":"Грешка при покретању разговора","composer.mcpSlashCommand.description":"Прикажи статус MCP сервера","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Није аутентификован","composer.mcpStatus.authOauth":"Аутентификован (OAuth)","composer.mcpStatus.authToken":"Аутентификован (API кључ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Затвори","composer.mcpStatus.disabled":"Онемогућено","composer.mcpStatus.emptyLabel":"Сервери:","composer.mcpStatus.emptyValue":"Није конфигурисан ниједан MCP сервер.","composer.mcpStatus.enabled":"Омогућено","composer.mcpStatus.errorLabel":"Статус:","composer.mcpStatus.errorValue":"Учитавање статуса MCP није могуће","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Промени модел","composer.mode.agentMode.custom":"Прилагођено","composer.mode.agentMode.custom.dropdownLabel":"Прилагођено","composer.mode.agentMode.custom.option":"Прилагођено (config.toml)","composer.mode.agentMode.custom.optionLabel":"Прилагођено (config.toml)","composer.mode.agentMode.customInfo.cancel":"Откажи","composer.mode.agentMode.customInfo.cli":"Можеш да подесиш та подешавања преко CLI-ја или директно изменом датотеке.","composer.mode.agentMode.customInfo.confirm":"Користи прилагођени режим","composer.mode.agentMode.customInfo.description":"Прилагођени режим примењује правила за одобравање и sandbox политику дефинисане у твојој<link>config.toml</link> датотеци.","composer.mode.agentMode.customInfo.docs":"Сазнај више о подешавању правила за одобравање и sandbox политика у<link>документима о извршном окружењу</link>.","composer.mode.agentMode.customInfo.refresh":"Све промене ступају на снагу следећи пут када агент буде покренут.","composer.mode.agentMode.customInfo.title":"Како прилагођени режим ради","composer.mode.agentMode.fullAccess":"Агент (пуни приступ)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (пуни приступ)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (пуни приступ)","composer.mode.agentMode.fullAccessConfirm.caution":"Поступај опрезно када укључујеш пун приступ. То значајно повећава ризик од губитка података, цурења информација или неочекиваног понашања.","composer.mode.agentMode.fullAccessConfirm.confirm":"Да, свакако настави","composer.mode.agentMode.fullAccessConfirm.description":"Када Codex ради са пуним приступом, може да мења било коју датотеку на твом рачунару и да покреће команде које користе мрежу, без твог одобрења.","composer.mode.agentMode.fullAccessConfirm.goBack":"Откажи","composer.mode.agentMode.fullAccessConfirm.title":"Омогућити пуни приступ?","composer.mode.agentMode.readOnly":"Ћаскање","composer.mode.agentMode.readOnly.dropdownLabel":"Ћаскање","composer.mode.agentMode.readOnly.optionLabel":"Ћаскање","composer.mode.agentMode.tooltip":"Промени режим","composer.mode.agentMode.tooltip.auto":"Читај и мењај датотеке и покрећи команде.","composer.mode.agentMode.tooltip.custom":"Користи најновија правила за одобравање и sandbox политике дефинисане у config.toml датотеци.","composer.mode.agentMode.tooltip.fullAccess":"Codex може да мења датотеке ван пројекта и да покреће команде са мрежним приступом. Поступај опрезно приликом коришћења.","composer.mode.agentMode.tooltip.readOnly":"Захтева одобрење за измену датотека и покретање команди.","composer.mode.cloud.tooltip":"Ради у окружењу у облаку","composer.mode.contactAdmin":"За додатни приступ, обрати се администратору","composer.mode.local":"Локални","composer.mode.local.learnMore":"Сазнај више","composer.mode.local.model.custom":"Прилагођено","composer.mode.local.model.loadingModel":"Учитавање модела","composer.mode.local.model.selecrReasoningEffort":"Изабери размишљање","composer.mode.local.model.selectModel":"Изабери модел","composer.mode.local.model.tooltip":"Изабери модел","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Висока","composer.mode.local.reasoning.low.label":"Низак","composer.mode.local.reasoning.medium.label":"Средњи","composer.mode.local.reasoning.minimal.label":"Минимално","composer.mode.local.reasoning.none.label":"Ниједан","composer.mode.local.reasoning.xhigh.label":"Изузетно велико","composer.mode.localRemoteWhereRun":"Изабери где би требало да се врати задатак","composer.mode.newTask.header":"Настави у","composer.mode.rateLimit.day":"{days} д.","composer.mode.rateLimit.heading":"Преостала ограничења","composer.mode.rateLimit.hour":"{hours} ч.","composer.mode.rateLimit.minute":"{minutes} мин.","composer.mode.rateLimit.modelSectionLabel":"Ограничење модела {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {седмично ограничење} few {{weeks} седмично ограничење} other {{weeks} седмична ограничења}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Седмично} few {{weeks} седмице} other {{weeks} седмица}}","composer.mode.remote.connectToCloud":"Повежи Codex веб","composer.mode.remote.connectToCloudDisabledTooltip":"Подеси окружење преко Codex веба да омогућиш слање задатака у облак","composer.mode.remote.selectEnvironment":"Изабери окружење","composer.mode.remote.sendToCloud":"Пошаљи у облак","composer.mode.remote.setupViaWeb":"Подеси окружење преко Codex веба","composer.mode.runInCloud":"Облак","composer.mode.runInCloudWithEnvironment":"Облак · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Рад у окружењу у облаку","composer.mode.segmentedToggle.local.tooltip":"Ради на локалном пројекту","composer.mode.segmentedToggle.worktree.tooltip":"Рад у паралелном стаблу посла","composer.mode.upgradeToPlus":"Надогради на план Plus","composer.mode.upgradeToPro":"Надогради на Pro","composer.mode.workLocally":"Локални пројекат","composer.mode.workLocally.currentBranchFallback":"твој огранак","composer.mode.workLocally.tooltip":"Ради на огранку {branchName}","composer.mode.worktree":"Нови worktree","composer.mode.worktree.submoduleWarning":"Ово спремиште има git подмодуле. Прављење стабла рада можда неће успети","composer.mode.worktree.tooltip":"Направи копију локалног пројекта и ради паралелно у њему","composer.mode.worktreeSegment":"Стабло рада","composer.modelChangeDuringConversationWarning.toast":"Мењање модела усред разговора ће смањити учинак.","composer.newChat.heading.browser":"Шта ћемо даље да кодирамо?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex користи дозволе дефинисане у config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex има потпуни приступ твом рачунару (повећан ризик)","composer.permissionsDropdown.custom.label":"Прилагођено (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Прилагођено (config.toml)","composer.permissionsDropdown.default.label":"Подразумеване дозволе","composer.permissionsDropdown.default.optionLabel":"Подразумеване дозволе","composer.permissionsDropdown.default.tooltip":"Codex аутоматски покреће команде у режиму безбедног извршавања","composer.permissionsDropdown.disabled.requirements":"Дозволе закључава requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Датотека requirements.toml је онемогућила пун приступ","composer.permissionsDropdown.fullAccess.label":"Пун приступ","composer.permissionsDropdown.fullAccess.optionLabel":"Пун приступ","composer.permissionsDropdown.trigger.tooltip":"Промени дозволе","composer.personalitySlashCommand.description.friendly":"Топла, кооперативна и од помоћи","composer.personalitySlashCommand.description.pragmatic":"Сажета, сконцентрисана на задатак и директна","composer.personalitySlashCommand.label.friendly":"Пријатељски","composer.personalitySlashCommand.label.pragmatic":"Практично","composer.personalitySlashCommand.notApplicableSuffix":"(Не важи за тренутни модел)","composer.personalitySlashCommand.title":"Личност","composer.placeholder.cloudFollowUp.directFollowUp":"Додатни поступак за овај задатак у облаку","composer.placeholder.cloudFollowUp.local":"Направи нови локални задатак који упућује на овај задатак у облаку","composer.placeholder.cloudFollowUp.workingTree":"Направи нови задатак у облаку који обухвата твој тренутни код и упућује на овај задатак","composer.placeholder.localFollowUp.cloud":"Реагуј даље у новом задатку у облаку","composer.placeholder.localFollowUp.locally":"Тражи даље реаговање за промене","composer.placeholder.newTask.cloud":"Тражи да Codex уради било шта у облаку","composer.placeholder.newTask.doAnything":"Тражи да Codex било шта уради","composer.placeholder.newTask.locally":"Питај Codex било шта, користи @ да додаш датотеке, а / за команде","composer.planModeDropdown":"Режим плана","composer.planModeDropdown.ariaLabel":"Режим плана","composer.planModeIndicator":"План","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Направи план уз Codex","composer.planModeIndicator.tooltipToggle":"за укључивање/искључивање","composer.planSlashCommand.disableDescription":"Искључи режим плана","composer.planSlashCommand.enableDescription":"Укључи режим плана","composer.planSlashCommand.title":"Режим плана","composer.priorContext.label":"Претходни контекст","composer.priorContext.removeAriaLabel":"Уклони претходни контекст","composer.queuedMessage.delete":"Избриши поруку у реду","composer.queuedMessage.edit":"Измени поруку","composer.queuedMessage.more":"Радње с порукама у реду","composer.queuedMessage.sendNow":"Усмери","composer.queuedMessage.sendNowTooltip":"Пошаљи сада и не прекидај рад","composer.queuedMessage.turnOff":"Искључи стављање у ред","composer.reasoningEffort.local.reasoning.tooltip":"Изабери размишљање","composer.remote.branchStartingPoint":"Од ког огранка овај задатак треба да почне?","composer.remote.branchesSectionHeading":"Огранци","composer.remote.currentEditsSuffix.followUp":"Креирај нови задатак који упућује на овај задатак у облаку.","composer.remote.currentEditsSuffix.useLocal":"уз промене локалног кода","composer.remote.directFollowUp":"Не користи промене локалног кода","composer.remote.errorLoadingBranches":"Грешка при учитавању огранака","composer.remote.fromBranch":"Од огранка {branch}","composer.remote.fromCurrentBranch":"Од огранка {branch} (тренутног)","composer.remote.loadingMoreBranches":"Учитавање...","composer.remote.localFileStateHeading":"Статус локалне датотеке","composer.remote.localWorkingTree":"Користи локалне промене","composer.remote.startingPoint":"Од ког кода овај задатак треба да почне?","composer.reviewMode.branches.error":"Није могуће учитати огранке","composer.reviewMode.branches.retry":"Покушај поново","composer.reviewMode.gitRoot.error":"Git коренски директоријум није пронађен","composer.reviewMode.option.baseBranch.simple":"Прегледај у односу на основни огранак","composer.reviewMode.option.unstaged.simple":"Прегледај неуписане промене","composer.reviewMode.quickReviewError":"Покретање прегледа кода није успело.","composer.reviewMode.title":"Преглед кода","composer.sandboxButton.unlock.disabled.tooltip":"Датотека requirements.toml је онемогућила пун приступ","composer.sandboxButton.windowsSandboxDialog.content":"Codex може да користи експериментални режим безбедног извршавања у ОС Windows како би ограничио приступ систему датотека и мрежним ресурсима.{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Желиш ли да омогућиш експериментални режим безбедног извршавања у ОС Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Користи само за читање","composer.searchEnvironments":"Претражи окружења","composer.skillMentionList.app":"Апликација","composer.skillMentionList.loading":"Учитавање вештина...","composer.skillMentionList.noResults":"Није пронађена ниједна вештина","composer.slashCommands.cloudEnvironment.title":"Окружење у облаку","composer.slashCommands.dialogLabel":"Мени са „slash“ командама","composer.slashCommands.dialogTitle":"Slash команде","composer.slashCommands.disabledTooltip":"Почни нови разговор да би користио „slash“ команде","composer.slashCommands.inputPlaceholder":"Претражи","composer.slashCommands.noResults":"Нема команди","composer.slashCommands.skillsGroup":"Вештине","composer.slashCommands.tooltip":"Потражи slash команде","composer.status.close":"Затвори","composer.statusPlain.alertLabel":"Упозорење:","composer.statusPlain.alertValue":"{remaining}% је преостало за {window}","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count} хиљ.","composer.statusPlain.contextValueMetadata":"(искоришћено {used} / {total})","composer.statusPlain.contextValueRemaining":"Преостало је {remaining}%","composer.statusPlain.heading":"Статус","composer.statusPlain.modelRateLimitSectionLabel":"Ограничење модела {modelName}:","composer.statusPlain.rateLimitDays":"Ограничење је {count} d.","composer.statusPlain.rateLimitFallbackLabel":"Ограничење тарифе:","composer.statusPlain.rateLimitHours":"Ограничење је {count}h","composer.statusPlain.rateLimitLabelBase":"Ограничење тарифе","composer.statusPlain.rateLimitMinutes":"Ограничење је {count} m","composer.statusPlain.rateLimitPercent":"Преостало је {remaining}%","composer.statusPlain.rateLimitReset":"ресетује се у{time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"време ресетовања није доступно","composer.statusPlain.rateLimitUnavailable":"Није доступно","composer.statusPlain.sessionCopiedAriaLabel":"ИД сесије је копиран","composer.statusPlain.sessionCopiedTooltip":"ИД је копиран","composer.statusPlain.sessionCopyAriaLabel":"Копирај ИД сесије","composer.statusPlain.sessionCopyTooltip":"Копирај ИД","composer.statusPlain.sessionLabel":"Сесија:","composer.statusSlashCommand.description":"Прикажи ИД нити, употребу контекста и ограничења тарифе","composer.statusSlashCommand.title":"Статус","composer.submit.blockedDialogOk":"У реду","composer.submit.blockedDialogTitle":"Није могуће послати поруку","composer.submit.emptyMessage":"Уђи у поруку за почетак","composer.submit.imageInputsUnsupported":"Уклони слике или промени моделе ради слања ове поруке.","composer.submit.loadingLocalConfig":"Учитавање...","composer.submit.missingCloudConfig":"Мораш изабрати окружење у облаку","composer.submit.missingCloudTurn":"Није могуће пратити овај задатак","composer.submit.noWorkspace":"Додај пројекат ако желиш да користиш Codex","composer.submit.waitForImageUploads":"Отпремање слика…","composer.submitButtonTooltip.send":"Пошаљи","composer.submitButtonTooltip.stop":"Заустави","composer.worktreeEnvironment.create":"Направи локално окружење","composer.worktreeEnvironment.default":"Подразумевано окружење","composer.worktreeEnvironment.error":"Грешка при учитавању окружења","composer.worktreeEnvironment.loading":"Учитавање окружења...","composer.worktreeEnvironment.title":"Локално окружење","composer.worktreeEnvironment.tooltip":"Изабери локално окружење","composer.worktreeSetupFailed":"Стабло рада није подешено. Провери скрипту за подешавање у .codex/environments.","compoundButton.secondaryAction":"Секундарна радња","copyButton.copied":"Копирано","copyButton.copiedAriaLabel":"Копирано","copyButton.copy":"Копирај","copyButton.copyAriaLabel":"Копирај","copyButton.copyCode":"Копирај код","diff.actionButton.revertFile":"Врати датотеку","diff.actionButton.revertHunk":"Врати","diff.actionButton.revertSection":"Врати све","diff.actionButton.revertSectionLabel":"Врати све","diff.actionButton.stageFile":"Постави датотеку","diff.actionButton.stageHunk":"Постави","diff.actionButton.stageSection":"Постави све","diff.actionButton.stageSectionLabel":"Постави све","diff.actionButton.unstageFile":"Опозови постављање датотеке","diff.actionButton.unstageHunk":"Опозови постављање","diff.actionButton.unstageSection":"Опозови постављање свега","diff.actionButton.unstageSectionLabel":"Опозови постављање свега","diff.fileHeader.toggle":"Укључи/искључи diff датотеке","electron.onboarding.login.apikey.cancel":"Откажи","electron.onboarding.login.apikey.continue":"Настави","electron.onboarding.login.apikey.label":"OpenAI API кључ","electron.onboarding.login.apikey.open":"Унеси API кључ","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Откажи пријављивање","electron.onboarding.login.chatgpt.continue":"Настави користећи ChatGPT","electron.onboarding.login.devbox":"Повежи на удаљени SSH","electron.onboarding.login.error":"Пријава није успела: {rawMessage}","electron.onboarding.login.snake.start":"Играј Змију","electron.onboarding.login.sshConfig.cancel":"Откажи","electron.onboarding.login.sshConfig.continue":"Настави","electron.onboarding.login.sshConfig.hostnameLabel":"Назив хоста за SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Најбољи начин за прављење помоћу агената","electron.onboarding.login.title":"Желимо ти добродошлицу у Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Настави","electron.onboarding.welcome.doubleLimits.description":"Славимо излазак апликације Codex, па имаш 2× мања ограничења брзине до 2. априла.","electron.onboarding.welcome.freego.description":"Codex је бесплатно укључен у твој план до 2. марта – хајде да почнемо да правимо заједно.","electron.onboarding.welcome.new.title.anon":"Желимо ти добродошлицу!","electron.onboarding.workspace.continue":"Настави","electron.onboarding.workspace.empty":"Додај пројекат ако желиш да наставиш.","electron.onboarding.workspace.listLabel":"Доступни пројекти","electron.onboarding.workspace.loading":"Учитавање пројеката...","electron.onboarding.workspace.openFolder":"Додај пројекат","electron.onboarding.workspace.selectAll":"Изабери све","electron.onboarding.workspace.skip":"Прескочи","electron.onboarding.workspace.skip.error":"Прављење новог пројекта није било могуће: {message}","electron.onboarding.workspace.skip.error.unknown":"Непозната грешка","electron.onboarding.workspace.skipping":"Прављење новог пројекта...","electron.onboarding.workspace.subtitle":"Codex ће моћи да мења датотеке и покреће команде у изабраним фасциклама.","electron.onboarding.workspace.title":"Изабери пројекат","errorPage.list.checkSettings":"Пробај да ажурираш IDE подешавања","errorPage.list.configToml":"Провери свој config.toml да ли садржи неважећа подешавања","errorPage.list.downloadExtension":"Пробај да преузмеш другу верзију екстензије","errorPage.list.runInWsl":"Провери своја подешавања да онемогућиш покретање у WSL-у ако примећујеш проблеме са компатибилношћу","execApprovalRequest.menu.runAlways":"Да, и немој више да питаш током ове сесије","execApprovalRequest.menu.runAlwaysWithAmendment":"Да, и не питај поново за команде које почињу са {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Да, и не питај поново за команде које почињу са","execApprovalRequest.menu.runOnce":"Да","execApprovalRequest.prompt":"Желиш ли да извршиш ову команду?","execApprovalRequest.reject":"Не","execFooter.exitCode":"Излазни код {code}","execFooter.exitCode.unknown":"непознат","execFooter.success":"Успело је","feedback.dialog.category.badResult":"Лош резултат","feedback.dialog.category.bug":"Грешка","feedback.dialog.category.goodResult":"Добар резултат","feedback.dialog.category.other":"Друго","feedback.dialog.descriptionPlaceholder":"Овде опиши проблем","feedback.dialog.dismiss":"Одбаци","feedback.dialog.includeLogsLabel":"Укључи евиденције тренутне Codex сесије","feedback.dialog.submit":"Пошаљи","feedback.dialog.submitError":"Нисмо могли да пошаљемо твоје повратне информације. Покушај поново за тренутак.","feedback.dialog.title":"Повратне информације","feedback.dialog.uploadedMessage.existingIssue":"постојећи отворени проблем","feedback.dialog.uploadedMessage.openIssue":"отвори GitHub проблем","feedback.dialog.uploadedMessage.withThread":"Повратне информације су отпремљене. Ако се проблем настави, {openIssueLink} или помени ИД нити на {existingIssueLink}:","feedback.dialog.uploadedTitle":"Повратне информације су отпремљене","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Уклони {filename}","header.back":"Назад","header.recentChats":"Задаци","header.recentTasks.seeAll":"Прикажи све ({total})","home.header.getPlus":"Набави план Plus","home.hero.letsBuild":"Хајде да правимо","homePage.mainContent":"Главни садржај","imageAttachment.defaultName":"слика","imageAttachment.preview.close":"Затвори преглед слике","imageAttachment.removeAriaLabel":"Уклони {filename}","implementPlanRequest.option.implement":"Да, примени овај план","implementPlanRequest.prompt":"Желиш ли да примениш овај план?","inbox.archived.deleteError":"Брисање архивираног извршавања није успело","inbox.archived.deleteRun":"Архивирано извршавање је избрисано","inbox.archived.deleteSuccess":"Архивирана нит је избрисана. Прикажи у оквиру <settingsLink>Архивираних нити</settingsLink>.","inbox.archived.inlineLabel.auto":"Ова нит је аутоматски архивирана. <learnMoreLink>Сазнај више</learnMoreLink>","inbox.archived.inlineLabel.manual":"Ова нит је архивирана.","inbox.archived.noMessageFound":"Није пронађена ниједна порука","inbox.automations.createError":"Прављење аутоматизације није било могуће","inbox.automations.deleteConfirm.cancel":"Откажи","inbox.automations.deleteConfirm.confirm":"Избриши аутоматизацију","inbox.automations.deleteConfirm.description":"Ово ће трајно избрисати аутоматизацију и зауставити сва покретања у будућности.","inbox.automations.deleteConfirm.title":"Желиш ли да избришеш {name}?","inbox.automations.deleteError":"Брисање аутоматизације није успело","inbox.automations.editTooltip":"Измени аутоматизацију","inbox.automations.inProgress":"У току","inbox.automations.new":"Ново","inbox.automations.newToolbar":"Нова аутоматизација","inbox.automations.pauseTooltip":"Паузирај аутоматизацију","inbox.automations.resumeTooltip":"Настави аутоматизацију","inbox.automations.startingNow":"Сада се покреће","inbox.automations.startsIn":"Почиње за {startTime}","inbox.automations.status.active":"Активно","inbox.automations.status.paused":"Паузирано","inbox.automations.status.runs":"Број покретања: {count}","inbox.automations.status.started":"Започета {date}","inbox.automations.updateError":"Ажурирање аутоматизације није било могуће","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Све","inbox.filter.ariaLabel":"Филтрирај ставке у пријемном сандучету","inbox.filter.unread":"Непрочитано","inbox.list.archived":"Архивирано","inbox.list.inProgress":"У току","inbox.list.recent":"Завршено","inbox.list.upNext":"Планирани","inbox.mode.automations":"Аутоматизације","inbox.mode.automations.beta":"Бета","inbox.noDescription":"Није наведен опис","inbox.openThread":"Отвори преписку","inbox.rightPanel.emptySubtitle":"Аутоматизуј рад тако што ћеш подесити заказане задатке","inbox.rightPanel.emptySubtitle.learnMore":"Аутоматизуј рад тако што ћеш подесити заказане нити. <link>Сазнај више</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# активна аутоматизација} few {# активне аутоматизације} other {# активних аутоматизација}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Нема непрочитаних аутоматизација","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# непрочитана аутоматизација} few {# непрочитане аутоматизације} other {# непрочитаних аутоматизација}}","inbox.rightPanel.emptyTitle":"Није изабрана ниједна ставка","inbox.rightPanel.noThread":"Нема преписке за ову ставку","inbox.rightPanel.quickStart.header":"Почни од шаблона","inbox.untitled":"Ставка у пријемном сандучету без наслова","loadingPage.documentationLink":"документација","loadingPage.errorDescription":"Codex је престао са радом са следећом грешком:","loadingPage.errorDescription.documentation":"Кликни на „учитај поново“ да поново покренеш Codex екстензију, или посети наш {documentationLink} ради додатне помоћи.","loadingPage.errorSignal":"Ствари које можеш да пробаш:","loadingPage.errorTitle":"Дошло је до грешке","loadingPage.openConfigToml":"Отвори config.toml","loadingPage.reload":"Учитај поново","localConversation.contextCompacted":"Контекст је аутоматски сабијен","localConversation.contextCompacting":"Контекст се аутоматски сабија","localConversation.forkedFromConversation":"Форковано из нити {threadTitle}","localConversation.merge.autoResolve.failed":"Захтев за аутоматско разрешење није послат: {error}","localConversation.merge.autoResolve.sent":"Захтев за аутоматско разрешење је послат","localConversation.merge.autoResolveMerge.missingConversation":"Аутоматско разрешење није могуће без активног разговора.","localConversation.merge.autoResolveMerge.request":"Аутоматски разреши неусаглашености током спајања","localConversation.modelChanged":"Модел је промењен из {fromModel} у {toModel}.","localConversation.modelChanged.warning.line1":"Мењање модела усред разговора ће смањити учинак.","localConversation.modelChanged.warning.line2":"Контекст може бити аутоматски сабијен.","localConversation.moveThread.createBranch.label":"Направи огранак","localConversation.moveToLocal.disabled.loading":"Учитавање...","localConversation.moveToLocal.modal.continue":"Настави","localConversation.moveToLocal.modal.destinationLabel":"Премести у","localConversation.moveToLocal.modal.retry":"Покушај поново","localConversation.moveToWorktree.modal.back":"Назад","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Огранак већ постоји.","localConversation.moveToWorktree.modal.branchesError":"Није могуће учитати огранке","localConversation.moveToWorktree.modal.branchesLoading":"Учитавање огранака...","localConversation.moveToWorktree.modal.branchesRetry":"Покушај поново","localConversation.moveToWorktree.modal.continue":"Настави","localConversation.moveToWorktree.modal.retry":"Покушај поново","localConversation.moveToWorktree.modal.trailingSlashError":"Назив огранка не може да се завршава на „/”","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"нови огранак","localConversation.personalityChanged":"Личност је пребачена на: {personality}","localConversation.planSummary.collapse":"Скупи резиме плана","localConversation.planSummary.collapseTooltip":"Скупи","localConversation.planSummary.download":"Преузми план","localConversation.planSummary.expand":"Прошири резиме плана","localConversation.planSummary.expandTooltip":"Прошири","localConversation.planSummary.openInNewWindow":"Отвори","localConversation.planSummary.openInNewWindow.tooltip":"Отвори у новом прозору","localConversation.planSummary.title":"План","localConversation.planSummary.titleWriting":"План за писање","localConversation.planSummary.viewPlan":"Прошири план","localConversation.remoteTaskCreated":"Направљено {taskLink} у Codex облаку","localConversation.remoteTaskCreated.task":"задатак","localConversation.scrollToBottomButton":"Спусти приказ на дно","localConversation.sync.buttonLabel":"Предај у локал","localConversation.sync.buttonLabel.tooltip":"Индиректне промене између овог стабла рада и локалног checkout-а.","localConversation.sync.modal.loading.title":"Предавање промена…","localConversation.sync.modal.noChanges":"Нема промена","localConversation.syncSetup.branchAriaLabel":"Назив огранка","localConversation.syncSetup.branchName":"Назив огранка","localConversation.syncSetup.branchPlaceholder.existing":"Изабери постојећи огранак","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Учитавање огранака...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Check out је већ направљен","localConversation.syncSetup.checkoutClean":"Тренутно у огранку {branchName}","localConversation.syncSetup.checkoutDirty":"Тренутно у огранку {branchName} са променама без commit-а","localConversation.syncSetup.checkoutError":"Check out огранка није обављен: {message}","localConversation.syncSetup.checkoutLabel":"Направи локални check out сада","localConversation.syncSetup.checkoutOnLocal":"Предај у локал","localConversation.syncSetup.checkoutPending":"Проверавање локалног статуса…","localConversation.syncSetup.checkoutUnavailable":"Локална радна површина није доступна","localConversation.syncSetup.checkoutUnknown":"Локални огранак није доступан","localConversation.syncSetup.continue":"Настави","localConversation.syncSetup.createBranchError":"Огранак за предају није подешен: {message}","localConversation.syncSetup.error":"Нешто није у реду: {message}","localConversation.syncSetup.error.workingTreeMissing":"Снимање стабла рада није било могуће. Поново покушај предавање.","localConversation.syncSetup.mode.ariaLabel":"Изабери режим огранка","localConversation.syncSetup.mode.existing":"Постојећи огранак","localConversation.syncSetup.mode.new":"Нови огранак","localConversation.syncSetup.noBranches":"Нема пронађених огранака","localConversation.syncSetup.overwriteError":"Огранак је направљен, али није у потпуности предат. Предај га ручно пре локалног check out-a.","localConversation.syncSetup.setPrefix":"Подеси префикс","localConversation.syncSetup.subtitle":"Локално тестирај и измени промене стабла рада. <a>Сазнај више</a>","localConversation.syncSetup.success.checkedOut":"Огранак је направљен уз локални check out","localConversation.syncSetup.success.notCheckedOut":"Огранак је направљен","localConversation.syncSetup.title":"Предај локалном огранку","localConversation.syncWorktreeError.branchAriaLabel":"Назив огранка","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Одабери огранак за предају, а затим поново покушај да учиташ промене.","localConversation.syncWorktreeError.branchSetup.title":"Ажурирај огранак","localConversation.syncWorktreeError.branchUpdate.cta":"Ажурирај и покушај поново","localConversation.syncWorktreeError.branchUpdate.error":"Огранак није ажуриран: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Нешто није у реду: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Check out огранка није направљен ни на једном стаблу рада.","localConversation.syncWorktreeV2.applyUncommitted":"Примени","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Мораш да направиш локални check out огранка ако желиш да примениш промене без commit-а","localConversation.syncWorktreeV2.branches.empty":"Нема пронађених огранака","localConversation.syncWorktreeV2.branches.loading":"Учитавање огранака...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Промени огранак за предају","localConversation.syncWorktreeV2.changeBranch.error":"Огранак за предају није промењен: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Није примењено","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Замена стабла рада није успело","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Замена локалних промена није успела","localConversation.syncWorktreeV2.commandError.back":"Назад","localConversation.syncWorktreeV2.commandError.body":"Git команда није успела током предаје. Прегледај излаз и покушај поново.","localConversation.syncWorktreeV2.commandError.retry":"Покушај поново","localConversation.syncWorktreeV2.description":"Предаја се мења између локала и овог стабла рада <a>Сазнај више</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Изабери смер предаје","localConversation.syncWorktreeV2.error.generic":"Нешто није било у реду током предаје. Покушај поново.","localConversation.syncWorktreeV2.localBranchLabel":"Локални","localConversation.syncWorktreeV2.noChanges":"Израчунавање промена","localConversation.syncWorktreeV2.noChanges.summary":"Нема промена","localConversation.syncWorktreeV2.overwrite.local":"Замени локалне промене","localConversation.syncWorktreeV2.overwrite.worktree":"Замени стабло рада","localConversation.syncWorktreeV2.partial.action.applyFailed":"Промене нису примењене","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Замена локалних промена није била могућа","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Замена промена стабла рада није била могућа","localConversation.syncWorktreeV2.partial.appliedLabel":"Примењено","localConversation.syncWorktreeV2.partial.back":"Назад","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Разреши неусаглашености и покушај поново.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Неусаглашености","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# датотека} few {# датотека} other {# датотека}}","localConversation.syncWorktreeV2.partial.retry":"Покушај поново","localConversation.syncWorktreeV2.partial.skippedLabel":"Прескочено:","localConversation.syncWorktreeV2.stateFailed.generic":"Нешто није било у реду приликом преузимања промена стабла рада за предају. Покушај поново.","localConversation.syncWorktreeV2.stateFailed.title":"Промене стабла рада нису учитане","localConversation.syncWorktreeV2.statusError.diffUnknown":"Промене стабла рада нису учитане.","localConversation.syncWorktreeV2.statusError.retry":"Покушај поново","localConversation.syncWorktreeV2.statusError.title":"Учитавање промена локалног огранка није могуће","localConversation.syncWorktreeV2.statusError.unknown":"Статус огранка тренутно није доступан. Покушај поново.","localConversation.syncWorktreeV2.success.apply":"Промене су примењене","localConversation.syncWorktreeV2.success.overwrite":"Предаја је успела","localConversation.syncWorktreeV2.title":"Промене предаје","localConversation.syncWorktreeV2.worktreeLabel":"Стабло рада","localConversation.userInputRequest.inProgress":"Постављ(ју) се: {count, plural, one {питање} few {питања} other {питања}}","localConversation.userInputRequest.noAnswer":"Нису пружени одговори","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Постављено:","localConversation.userInputRequest.summary.count":"{count, plural, one {# питање} few {# питања} other {# питања}}","localConversation.workedFor":"Радио {time}","localConversation.worktreeBranchSetup.action.create":"Направи","localConversation.worktreeBranchSetup.branchAriaLabel":"Назив огранка","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Направи нови огранак","localConversation.worktreeBranchSetup.checkoutDisabled":"Check out огранка је већ направљен на локацији {location}","localConversation.worktreeBranchSetup.checkoutError":"Check out огранка није обављен: {message}","localConversation.worktreeBranchSetup.createBranchError":"Огранак није подешен: {message}","localConversation.worktreeBranchSetup.error":"Нешто није у реду: {message}","localConversation.worktreeBranchSetup.subtitle":"Направи огранак да извршиш commit и push над променама и направиш pull захтев са овог стабла рада. <a>Сазнај више</a>","localConversation.worktreeBranchSetup.title":"Ради овде","localConversationPage.addWorktreeToSidebar.tooltip":"Сачувај као пројекат и започни нове нити са овог стабла рада","localConversationPage.addWorktreeToSidebarError":"Пројекат није додат","localConversationPage.commitAndCreatePrModal.errorTitle":"Извршавање наредбе commit и прављење pull захтева није успело","localConversationPage.commitAndCreatePrModal.successTitle":"Наредба commit је извршена и pull захтев је направљен","localConversationPage.commitAndPushModal.errorTitle":"Извршавање наредби commit и push није успело","localConversationPage.commitAndPushModal.successTitle":"Наредбе commit и push су извршене над променама","localConversationPage.commitCreatePr.open":"Отвори pull захтев","localConversationPage.commitCreatePr.successTitle":"Направљен је pull захтев са твојим најновијим променама","localConversationPage.createBranchButtonLabel":"Направи огранак одавде","localConversationPage.createPrModal.baseBranch":"Основа","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Направи pull захтев","localConversationPage.createPrModal.createDescription":"Отвори pull захтев за најновије промене.","localConversationPage.createPrModal.errorTitle":"Pull захтев није успео","localConversationPage.createPrModal.headBranch":"Заглавље","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Отвори pull захтев","localConversationPage.createPrModal.successTitle":"Pull захтев је направљен","localConversationPage.createPrModal.title":"Направи pull захтев","localConversationPage.createPrModal.viewDescription":"Pull захтев већ постоји за овај огранак.","localConversationPage.createPrModal.viewTitle":"Pull захтев је спреман","localConversationPage.createPullRequestAuthGh":"Потврди идентитет GitHub CLI интерфејса: покрени „gh auth login“","localConversationPage.createPullRequestBranchMissing":"Информације о огранку нису доступне","localConversationPage.createPullRequestButtonLabel":"Направи pull захтев","localConversationPage.createPullRequestButtonLabel.loading":"Прави се pull захтев...","localConversationPage.createPullRequestDefaultBranchMissing":"Информације о подразуменавом огранку нису доступне","localConversationPage.createPullRequestError":"Pull захтев није направљен","localConversationPage.createPullRequestExistingPullRequest":"Pull захтев већ постоји за овај огранак","localConversationPage.createPullRequestGhStatusMissing":"Статус учитавања GitHub CLI интерфејса…","localConversationPage.createPullRequestInstallGh":"Инсталирај GitHub CLI (gh) за прављење pull захтева","localConversationPage.createPullRequestNoRepo":"Није нађено ниједно git спремиште","localConversationPage.createPullRequestPushStatusMissing":"Учитава се push статус...","localConversationPage.createPullRequestSetUpstream":"Изврши наредбу push над овим огранком, па онда направи pull захтев","localConversationPage.createPullRequestSuccessToast":"Pull захтев је направљен","localConversationPage.createPullRequestSwitchBranch":"Провери огранак функције пре него што направиш pull захтев","localConversationPage.error.render":"Грешка при приказивању локалног разговора","localConversationPage.error.toast":"Разговор није пронађен","localConversationPage.forcePushError":"Принудни push није успео","localConversationPage.generatePullRequestMessageError":"Наслов и садржај pull захтева нису генерисани","localConversationPage.generatePullRequestMessageFailed":"Наслов и садржај pull захтева нису генерисани.","localConversationPage.gitActionResult.branch":"Огранак","localConversationPage.gitActionResult.cancel":"Откажи","localConversationPage.gitActionResult.close":"Затвори","localConversationPage.gitActionResult.tryAgain":"Покушај поново","localConversationPage.gitActions":"Git радње","localConversationPage.newChat":"Ново ћаскање","localConversationPage.openInTarget":"Отвори користећи","localConversationPage.openPrimaryTarget":"Отвори","localConversationPage.planItemsCompleted":"{completedItems} од {totalItems, plural, one {# задатак је завршен} few {# задатка су завршена} other {# задатака је завршено}}","localConversationPage.pushAuthError":"Push није успео: потребна је потврда идентитета","localConversationPage.pushBranchMissing":"Информације о огранку нису доступне","localConversationPage.pushButtonLabel":"Системске поруке","localConversationPage.pushButtonLabel.loading":"Извршавање команде push...","localConversationPage.pushError":"Наредба push над променама није успела","localConversationPage.pushModal.branchLabel":"Огранак","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Откажи","localConversationPage.pushModal.confirm":"Системске поруке","localConversationPage.pushModal.description":"Изврши команду push за најновије наредбе commit у удаљено спремиште.","localConversationPage.pushModal.errorTitle":"Push није успело","localConversationPage.pushModal.forcePush":"Принудни push","localConversationPage.pushModal.successTitle":"Push је завршен","localConversationPage.pushModal.title":"Изврши команду push над променама","localConversationPage.pushModal.tryAgain":"Покушај поново","localConversationPage.pushNoUpstream":"Подеси главни огранак пре примене наредбе push за овај огранак","localConversationPage.pushNoUpstreamError":"Push није успео: главни огранак није конфигурисан","localConversationPage.pushNothingToPush":"Ниједан нови commit не чека на наредбу push","localConversationPage.pushRemoteChangedError":"Push није успео: нове commit наредбе на даљинском огранку","localConversationPage.pushRemoteRejectedError":"Даљински огранак је одбио push","localConversationPage.pushStatusMissing":"Учитава се push статус...","localConversationPage.pushSuccessToast":"Промене на које је примењена команда push","localConversationPage.viewPullRequestButtonLabel":"Прикажи pull захтев","localConversationPage.viewPullRequestButtonLabel.loading":"Учитава се pull захтев...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# датотека} few {# датотека} other {# датотека}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# листа} few {# листе} other {# листа}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# претрага} few {Претрага: #} other {Претрага: #}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Истраживање","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Истражено","localConversationTurn.exploration.accordion.header.complete.withCounts":"Истражено: {counts}","localConversationTurnStory.showContent":"Прикажи садржај","localConversationTurnStory.streamContent":"Стримуј садржај","localConversationTurnStory.toggleReasoning":"Прикажи размишљање","localTaskRow.archiveError":"Није успело архивирање разговора","localTaskRow.resumeError":"Није успело настављање задатка","mermaidDiagram.ariaLabel":"Mermaid дијаграм","mermaidDiagram.copySource":"Копирај mermaid","mermaidDiagram.originalCode":"Mermaid изворни код","notifications.permissions.description":"Прикажи упозорења када су потребне дозволе за обавештавање","notifications.permissions.label":"Омогући обавештења о дозволама","notifications.turnMode.always":"Увек","notifications.turnMode.description":"Подеси када те Codex обавештава да је завршио","notifications.turnMode.label":"Обавештења о завршетку круга","notifications.turnMode.off":"Никада","notifications.turnMode.unfocused":"Само када није фокусирано","patchApprovalRequest.approve":"Одобри","patchApprovalRequest.menu.allowAlways":"Да, и немој више да питаш током ове сесије","patchApprovalRequest.menu.allowForSession":"Да, и немој више да питаш током ове сесије","patchApprovalRequest.menu.allowOnce":"Да","patchApprovalRequest.prompt":"Желиш ли да унесеш те промене?","patchApprovalRequest.reject":"Не","patchApprovalRequest.waitingForApproval":"Чека се одобрење за измену датотека","pendingRequest.approvalExec.collapse":"Скупи","pendingRequest.approvalExec.expand":"Прошири","pendingRequestStory.toastAnswer":"Одговор: {answer}","pendingRequestStory.toastApprovalTitle":"Одговор за одобрење","pendingRequestStory.toastFollowupPrompt":"Промпт: {prompt}","pendingRequestStory.toastFollowupTitle":"Дубље испитивање је послато","pendingRequestStory.toastNoAnswers":"Нису пружени одговори","pendingRequestStory.toastQuestion":"Питање {question}","pendingRequestStory.toastUnknownDecision":"Непознато","pendingRequestStory.toastUserInputTitle":"Одговори су послати","quickAction.request.codeReview.branches.new":"Прегледај промене у {from} у односу на {to}","quickAction.request.codeReview.uncommitted.new":"Прегледај моје неуписане промене","reasoningItem.thinking":"Размишљам","reasoningItem.thought":"Размислио сам","reasoningItem.thoughtWithElapsed":"Размишљање је трајало {elapsed}","recentConversations.title":"Недавни разговори","recentTasks.worktreeInitFailedTitle":"Иницијализација стабла рада није успела","recentTasks.worktreeSettingUpTitle":"Подешавање стабла рада","requestInputPanel.continue":"Настави","requestInputPanel.dismiss":"Одбаци","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Куцај овде","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Не, и реци Codex-у шта да уради другачије","requestInputPanel.selectedBadge":"Одабрано","requestInputPanel.skip":"Прескочи","requestInputPanel.submit":"Пошаљи","review.commit.ariaLabel.includeUnstaged":"Обухвати непостављене","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Извршавање наредбе commit...","review.commit.disabled.loadingDiff":"Учитава се diff…","review.commit.disabled.missingContext":"Додај контекст за генерисање поруке уз commit","review.commit.disabled.noChanges":"Нема измена за commit","review.commit.disabled.noSelection":"Изабери промене за commit","review.commit.disabled.unavailable":"Commit тренутно није доступан","review.commit.error":"Commit наредба за промене није успела","review.commit.form.changesToBeCommitted":"Промене","review.commit.form.commitTo":"Огранак","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Настави","review.commit.form.title":"Изврши наредбу commit","review.commit.generate.emptyResponse":"Генерисање поруке уз commit није било могуће.","review.commit.generate.failed":"Није генерисана порука уз commit: {error}","review.commit.generate.missingPrompt":"Додај контекст за генерисање поруке уз commit.","review.commit.includeUnstaged":"Обухвати непостављене","review.commit.loading.description":"Сачекај, ово може да потраје неко време...","review.commit.loading.step.commit.done":"Commit наредба за промене је успела","review.commit.loading.step.commit.pending":"Наредба commit се извршава над променама","review.commit.loading.step.createPr.done":"Pull захтев је направљен","review.commit.loading.step.createPr.pending":"Прављење pull захтева","review.commit.loading.step.push.done":"Наредба push до огранка {branch} је извршена","review.commit.loading.step.push.pending":"Наредба push до огранка {branch} се извршава","review.commit.loading.title.commit":"Наредба commit се извршава над променама","review.commit.loading.title.createPr":"Прављење pull захтева","review.commit.loading.title.push":"Наредба push се извршава над променама","review.commit.messageLabel":"Порука уз commit","review.commit.messagePlaceholder":"Остави празно за аутоматско генерисање поруке уз commit","review.commit.nextSteps":"Следећи кораци","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit и направи pull захтев","review.commit.nextSteps.commitAndPush":"Commit и push","review.commit.nextSteps.prRequiresGh":"Потребан је GitHub CLI: {command}","review.commit.rows.changes":"Промене","review.commit.rows.commitCount":"{count, plural, one {# commit} few {# commit-a} other {# commit-a}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} few {# commit-a} other {# commit-a}} и {stats}","review.commit.rows.fileCount":"{count, plural, one {# датотека} few {# датотека} other {# датотека}}","review.commit.state.error.body":"Нешто није било у реду током извршавања наредбе commit. Провери git статус и покушајте поново.","review.commit.state.error.title":"Наредба commit није успела","review.commit.state.success.title":"Commit наредба за промене је извршена","review.commit.untracked.loadingStats":"Учитавање статистике за diff који се не прати…","reviewFindingAttachments.count":"{count, plural, one {# налаз} few {# налаза} other {# налаза}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Измени конфигурацију за прилагођавање понашања агента","settings.agent.configuration.configToml.docs":"Документи","settings.agent.configuration.configToml.restartNote":"Рестартуј Codex након измена да примениш промене","settings.agent.configuration.subtitle":"Ова подешавања се примењују на сва места на којима се Codex користи","settings.automations.banner.danger":"Аутоматизације се покрећу са подразумеваним подешавањима режима безбедног извршавања, која су тренутно подешена на Пуни приступ. Покретање позадинских аутоматизација уз Пуни приступ подразумева већи ризик, јер Codex може да мења датотеке, извршава команде и приступа мрежи без питања. Размисли о ажурирању подешавања режима безбедног извршавања на писање на радној површини и коришћењу <rulesDocsLink>правила</rulesDocsLink> за селективно дефинисање тога које команде агент може да извршава са пуним приступом.","settings.automations.banner.defaultHowTo.default":"Аутоматизације се покрећу са подразумеваним подешавањима режима безбедног извршавања. Позиви алатки неће успети ако траже да мењају датотеке изван радне површине, приступају мрежи или користе апликације на рачунару. Уз помоћ <rulesDocsLink>правила</rulesDocsLink> можеш селективно да саставиш листу дозвољених команди за покретање изван режима безбедног извршавања.","settings.automations.banner.defaultHowTo.readOnly":"Аутоматизације се покрећу са подразумеваним подешавањима режима безбедног извршавања, која су подешена на само читање. Позиви алатки неће успети ако траже да мењају датотеке изван радне површине, приступају мрежи или користе апликације на рачунару. Размисли о ажурирању подешавања режима безбедног извршавања на писање на радној површини.","settings.automations.cancel":"Откажи","settings.automations.create":"Направи","settings.automations.cwdEmpty":"Није доступна ниједна фасцикла пројекта","settings.automations.cwdLabel":"Пројекти","settings.automations.cwdPlaceholder":"Изабери фасциклу","settings.automations.cwdSubtitle":"Ако желиш да се аутоматизација извршава над одређеним огранком, можеш да је назначиш у промпту.","settings.automations.delete":"Избриши","settings.automations.dialog.editTitle":"Измени аутоматизацију","settings.automations.dialog.newTitle":"Нова аутоматизација","settings.automations.dialog.subtitle":"Аутоматизуј задатке који се понављају у позадини. Codex додаје налазе у пријемно сандуче или аутоматски архивира задатак ако нема ничега за извештај. <learnMoreLink>Сазнај више</learnMoreLink>","settings.automations.dialog.title":"Направи аутоматизацију","settings.automations.executionCopy.git":"Аутоматизације раде у позадини на наменским стаблима рада.","settings.automations.executionCopy.nonGit":"Аутоматизације у пројектима без контроле верзија покрећу се директно у директоријуму пројекта. Размотри коришћење система Git и омогући извршавање на позадинским стаблима рада.","settings.automations.executionEnvironment.local":"Локална","settings.automations.executionEnvironment.worktree":"Стабло рада","settings.automations.loading":"Учитавање...","settings.automations.nameLabel":"Назив","settings.automations.namePlaceholder":"Провери да ли има проблема на платформи Sentry","settings.automations.pause":"Паузирај","settings.automations.promptLabel":"Промпт","settings.automations.promptPlaceholder":"потражи отказивања на платформи $Sentry","settings.automations.resume":"Настави","settings.automations.rruleSummaryFallback":"Прилагођени распоред","settings.automations.runNow":"Тест","settings.automations.save":"Сачувај","settings.automations.scheduleBadge.dayCount":"{count} д.","settings.automations.scheduleBadge.interval":"{count} ч.","settings.automations.scheduleBadge.weekdays":"Радним данима","settings.automations.scheduleBadge.weekends":"Викендом","settings.automations.scheduleHeader":"Распоред","settings.automations.scheduleHours":"сати","settings.automations.scheduleLabel":"Покретање сваког","settings.automations.scheduleMode.daily":"Сваког дана","settings.automations.scheduleMode.interval":"Интервал","settings.automations.scheduleModeLabel":"Тип распореда","settings.automations.scheduleSummary.daily":"Сваког дана у {time}","settings.automations.scheduleSummary.interval":"Свака/их {count} h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# дан} few {# дана} other {# дана}}","settings.automations.scheduleSummary.intervalDays":"{interval} на {days}","settings.automations.scheduleSummary.intervalHourly":"Сваког сата","settings.automations.scheduleSummary.singleDay":"{day} у {time}","settings.automations.scheduleSummary.weekdays":"Радним данима у {time}","settings.automations.scheduleSummary.weekdaysLabel":"радним данима","settings.automations.scheduleSummary.weekends":"Викендом уt {time}","settings.automations.scheduleSummary.weekendsLabel":"викендима","settings.automations.scheduleSummary.weekly":"{days} у {time}","settings.automations.scheduleWeekdays":"Укључено","settings.automations.weekdayState.excluded":"Изузето","settings.automations.weekdayState.included":"Укључено","settings.conversationDetail.steps":"Кораци","settings.conversationDetail.steps.description":"Сакриј команде и излазе","settings.conversationDetail.stepsWithCommands":"Кораци са командама за кодирање","settings.conversationDetail.stepsWithCommands.description":"Прикажи команде, скупи излаз","settings.conversationDetail.stepsWithOutput":"Кораци са излазним кодом","settings.conversationDetail.stepsWithOutput.description":"Прикажи команде и прошири излаз","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Нема архивираних ћаскања.","settings.dataControls.archivedChats.error":"Учитавање архивираних ћаскања није успело.","settings.dataControls.archivedChats.loading":"Архивирана ћаскања се учитавају...","settings.dataControls.archivedChats.unarchive":"Разархивирај","settings.dataControls.archivedChats.unarchiveError":"Поништавање архивирања ћаскања није успело","settings.dataControls.archivedChats.unarchiveSuccess":"Нит је уклоњена из архиве. <viewNowLink>Прикажи одмах</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Нит је уклоњена из архиве.","settings.dataControls.archivedChats.untitled":"Нетитловано ћаскање","settings.dataControls.archivedChats.viewNow":"Прикажи одмах","settings.editRow.headerPlaceholder":"Кључ","settings.editRow.removeEntry":"Уклони унос","settings.editRow.valuePlaceholder":"Вредност","settings.general.appearance":"Изглед","settings.general.appearance.codeFont":"Фонт кода","settings.general.appearance.codeFont.description":"Прилагоди фонт и величину који се користе за код у свим ћаскањима и diff-овима","settings.general.appearance.codeFontFamily":"Породица фонта кода","settings.general.appearance.codeFontSize":"Величина фонта кода","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Нека прозори користе пуну позадину уместо системске провидности","settings.general.appearance.opaqueWindows.label":"Користи непровидну позадину прозора","settings.general.appearance.sansFontFamily":"Породица фонта Sans","settings.general.appearance.sansFontFamily.description":"Прилагоди фонт који се користи за кориснички интерфејс Codex-а","settings.general.appearance.sansFontSize":"Величина санс фонта","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Прикажи ефекте славља у целом прозору док GPT-5.3-Codex-Spark покреће први круг","settings.general.appearance.sparkCelebrationEffects.label":"Spark ефекти славља","settings.general.appearance.theme":"Тема","settings.general.appearance.theme.dark":"Тамна","settings.general.appearance.theme.description":"Користи светлу, тамну или системску","settings.general.appearance.theme.light":"Светла","settings.general.appearance.theme.system":"Систем","settings.general.appearance.usePointerCursors.description":"Промени курсор у показивач када се постави изнад интерактивних елемената","settings.general.appearance.usePointerCursors.label":"Користи курсоре-показиваче","settings.general.enterBehavior.description":"Када се омогуће, промптови са више редова захтевају {modifierSymbol} + enter за слање.","settings.general.enterBehavior.label":"Захтевај {modifierSymbol} + enter за слање дугачких промптова","settings.general.experimentalFeatures":"Експерименталне функције (бета)","settings.general.experimentalFeatures.empty":"Нису доступне експерименталне функције у бета верзији.","settings.general.experimentalFeatures.loading":"Учитавање експерименталних функција…","settings.general.experimentalFeatures.restartNote":"Рестартуј Codex да примениш промене експерименталних функција","settings.general.experimentalFeatures.toggle":"Укључи/искључи вештину {featureName}","settings.general.followUpQueueMode.description":"Стави дубља испитивања у ред док се Codex покреће или усмерава тренутно извршавање. Притисни {invertFollowUpShortcutLabel} ако желиш да урадиш супротно за једну поруку.","settings.general.followUpQueueMode.interrupt":"Усмери","settings.general.followUpQueueMode.label":"Понашање при дубљем испитивању","settings.general.followUpQueueMode.queue":"Ред","settings.general.notifications":"Обавештења","settings.general.power.preventSleepWhileRunning.description":"Држи рачунар будним док Codex извршава нит.","settings.general.power.preventSleepWhileRunning.label":"Спречи мировање током покретања","settings.git.branchPrefix.ariaLabel":"Branch prefix","settings.git.branchPrefix.description":"Префикс који се користи када се праве нови огранци у Codex-у","settings.git.branchPrefix.label":"Branch prefix","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Чување префикса огранка није успело","settings.git.branchPrefix.save.success":"Префикс огранка је сачуван","settings.git.commitInstructions.ariaLabel":"Упутства за commit","settings.git.commitInstructions.description":"Додато у промптове за генерисање порука уз commit","settings.git.commitInstructions.label":"Упутства за commit","settings.git.commitInstructions.placeholder":"Додај смернице за поруку уз commit…","settings.git.commitInstructions.save":"Сачувај","settings.git.commitInstructions.save.error":"Упутства за commit нису сачувана","settings.git.commitInstructions.save.success":"Сачувана упутства за commit","settings.git.forcePush.ariaLabel":"Увек користи force push","settings.git.forcePush.description":"Користи --force-with-lease за команду push из Codex-а","settings.git.forcePush.label":"Увек користи force push","settings.git.forcePush.save.disabled":"Опција Увек користи force push је онемогућена","settings.git.forcePush.save.enabled":"Опција Увек користи force push је омогућена","settings.git.forcePush.save.error":"Чување подешавања за force push није успело","settings.git.prInstructions.ariaLabel":"Упутства за pull захтев","settings.git.prInstructions.description":"Додато садржајима pull захтева које прави Codex","settings.git.prInstructions.label":"Упутства за pull захтев","settings.git.prInstructions.placeholder":"Додај смернице за pull захтев…","settings.git.prInstructions.save":"Сачувај","settings.git.prInstructions.save.error":"Чување упутстава за pull захтев није успело","settings.git.prInstructions.save.success":"Упутства за pull захтев су сачувана","settings.ide.defaultOpenTarget.description":"Где се датотеке и фасцикле подразумевано отварају","settings.ide.defaultOpenTarget.label":"Одредиште које се подразумевано отвара","settings.ide.defaultOpenTarget.placeholder":"Нису пронађени циљеви","settings.ide.language.auto":"Аутоматскo откривање","settings.ide.language.autoOption":"Аутоматскo откривање","settings.ide.language.description":"Језик за UI апликације","settings.ide.language.label":"Језик","settings.ide.language.search":"Претражи језике","settings.layout.actionButton":"Поново покрени проширење","settings.layout.actionTitle":"Подешавања са радњом","settings.layout.fullWidthTitle":"Подешавања (пуна ширина)","settings.layout.title":"Подешавања","settings.localEnvironments.actions.add":"Додај радњу","settings.localEnvironments.actions.add.description":"Направи нову команду за покретање са траке са алаткама.","settings.localEnvironments.actions.add.save":"Сачувај","settings.localEnvironments.actions.empty":"Додај радњу и покрени команде са локалне траке с алаткама.","settings.localEnvironments.actions.icon.debug":"Отклони грешке","settings.localEnvironments.actions.icon.run":"Покренут","settings.localEnvironments.actions.icon.test":"Тест","settings.localEnvironments.actions.icon.tool":"Алатка","settings.localEnvironments.actions.item.button.delete":"Избриши","settings.localEnvironments.actions.item.command":"Скрипта радње","settings.localEnvironments.actions.item.name":"Назив","settings.localEnvironments.actions.item.platforms":"Платформе","settings.localEnvironments.actions.item.platforms.help":"Ради само у одређеном ОС.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Избор платформе","settings.localEnvironments.actions.item.platforms.specific":"Специфично за платформу","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Избриши","settings.localEnvironments.actions.title":"Радње","settings.localEnvironments.breadcrumb.back":"Назад","settings.localEnvironments.breadcrumb.edit":"измени","settings.localEnvironments.breadcrumb.root":"Окружења","settings.localEnvironments.environment.actions.description":"Ове радње могу да покрену било коју команду и биће приказане у заглављу.","settings.localEnvironments.environment.actionsLabel":"Радње","settings.localEnvironments.environment.create":"Направи локално окружење","settings.localEnvironments.environment.defaultName":"локално","settings.localEnvironments.environment.edit":"Измени локално окружење","settings.localEnvironments.environment.empty":"За овај пројекат још није конфигурисано ниједно локално окружење.","settings.localEnvironments.environment.name":"Назив","settings.localEnvironments.environment.setup":"Скрипт за подешавање","settings.localEnvironments.environment.setup.description":"Ова скрипта ће се покренути када се направи стабло рада.","settings.localEnvironments.environment.setup.hint":"Извршава се у основи пројекта.","settings.localEnvironments.environment.setup.platformOverrides":"Суспендовања платформе","settings.localEnvironments.environment.setup.platformOverrides.add":"Додај скрипту за подешавање платформе {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Суспендује подразумевани скрипт за одређене оперативне системе.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Уклони","settings.localEnvironments.environment.setup.script":"Скрипта","settings.localEnvironments.environment.title":"Подаци о окружењу","settings.localEnvironments.file.missing":"Сачувај и направи ову датотеку први пут.","settings.localEnvironments.file.parseError":"Рашчлањивање постојеће датотеке није могуће. Ако сачуваш, заменићеш је. ({error})","settings.localEnvironments.file.path":"Датотека: {path}","settings.localEnvironments.file.readError":"Учитавање података о локалном окружењу није успело. ({error})","settings.localEnvironments.file.title":"Датотека локалног окружења","settings.localEnvironments.loading.body":"Преузимање конфигурације пројекта је у току.","settings.localEnvironments.loading.title":"Учитавање локалних окружења","settings.localEnvironments.preview.devOnly":"(само за програмере)","settings.localEnvironments.preview.save":"Сачувај","settings.localEnvironments.preview.saveError":"Чување датотеке није успело. ({error})","settings.localEnvironments.preview.title":"Преглед","settings.localEnvironments.save.disabled.name":"Додај назив окружења за чување.","settings.localEnvironments.save.disabled.noChanges":"Нема промена за чување.","settings.localEnvironments.save.disabled.saving":"Чување...","settings.localEnvironments.save.success":"Сачувано локално окружење","settings.localEnvironments.unavailable.body":"Нисмо успели да учитамо подешавања локалног окружења за овај пројекат.","settings.localEnvironments.unavailable.title":"Локална окружења нису доступна","settings.localEnvironments.workspace.add":"Додај пројекат","settings.localEnvironments.workspace.title":"Пројекат","settings.localEnvironments.workspaceSelect.addLabel":"Додај окружење","settings.localEnvironments.workspaceSelect.description":"Локална окружења говоре Codex-у како да конфигурише стабла рада за пројекат. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Још нема пројеката. Додај један и конфигуриши локална окружења.","settings.localEnvironments.workspaceSelect.errorLabel":"Потребна је пажња у вези са окружењем","settings.localEnvironments.workspaceSelect.learnMore":"Сазнај више","settings.localEnvironments.workspaceSelect.listLabel":"Доступни пројекти","settings.localEnvironments.workspaceSelect.loading":"Учитавање пројеката је у току.","settings.localEnvironments.workspaceSelect.loadingLabel":"Учитава се окружење","settings.localEnvironments.workspaceSelect.title":"Изабери пројекат","settings.localEnvironments.workspaceSelect.viewAction":"Прикажи","settings.mcp.addServer":"Додај сервер","settings.mcp.app.configure":"Конфигуриши","settings.mcp.app.connect":"Повежи","settings.mcp.apps.refresh":"Освежи","settings.mcp.detail.addArgument":"Додај аргумент","settings.mcp.detail.addEnvVar":"Додај променљиву окружења","settings.mcp.detail.addEnvVarPassthrough":"Додај променљиву","settings.mcp.detail.args":"Аргументи","settings.mcp.detail.back":"Назад","settings.mcp.detail.command":"Команда за покретање","settings.mcp.detail.cwd":"Радни директоријум","settings.mcp.detail.docs":"Отвори MCP документацију","settings.mcp.detail.docs.link":"Документи","settings.mcp.detail.envVarPassthrough":"Пролаз променљиве окружења","settings.mcp.detail.envVars":"Променљиве окружења","settings.mcp.detail.http.addEnvHeader":"Додај променљиву","settings.mcp.detail.http.addHeader":"Додај заглавље","settings.mcp.detail.http.bearerToken":"Env var елемент токена носиоца","settings.mcp.detail.http.envHeaders":"Заглавља из променљивих окружења","settings.mcp.detail.http.headers":"Заглавља","settings.mcp.detail.http.url":"URL адреса","settings.mcp.detail.name":"Назив","settings.mcp.detail.save":"Сачувај","settings.mcp.detail.switchTransportNotice":"Ако желиш да се пребациш на други тип MCP сервера, прво деинсталирај.","settings.mcp.detail.titleExisting":"Ажурирај MCP сервер {name}","settings.mcp.detail.titleNew":"Повежи на прилагођени MCP сервер","settings.mcp.detail.transport.http":"HTTP који се може стримовати","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Деинсталирај","settings.mcp.empty":"Нису повезани прилагођени MCP сервери","settings.mcp.myServers":"Прилагођени сервери","settings.mcp.partnerServer.description.figma":"Генериши бољи код за тако што ћеш унети цео Figma контекст","settings.mcp.partnerServer.description.github":"Интегриши користећи GitHub API-је ради аутоматизације радних процеса и издвајања података","settings.mcp.partnerServer.description.linear":"Интегриши са Linear праћењем проблема и управљањем пројектима","settings.mcp.partnerServer.description.notion":"Читај документе, ажурирај странице, управљај задацима","settings.mcp.partnerServer.description.playwright":"Интегриши аутоматизацију прегледача ради примене дизајна и тестирања корисничког интерфејса.","settings.mcp.partnerServer.install":"Инсталирај","settings.mcp.partnerServer.installAndAuthenticate":"Инсталирај и потврди идентитет","settings.mcp.partnerServer.logoAlt":"{label} логотип","settings.mcp.partnerServer.manage":"Управљај","settings.mcp.partnerServer.vendor":"до {vendor}","settings.mcp.recommendedServers":"Препоручени сервери","settings.mcp.restartApp":"Покрени поново","settings.mcp.restartExtension":"Поново покрени проширење","settings.mcp.server.enable":"Омогући","settings.mcp.server.login":"Потврди идентитет","settings.mcp.server.settings":"Подешавања","settings.multiselect.createOption":"Направи „{value}”","settings.multiselect.removeOption":"Уклони","settings.nav.account":"Налог","settings.nav.agent":"Конфигурација","settings.nav.ariaLabel":"Подешавања","settings.nav.back":"Повратак на апликацију","settings.nav.data-controls":"Архивиране нити","settings.nav.environments":"Окружења у облаку","settings.nav.externalTooltip":"[alpha] Отвара се у прегледачу","settings.nav.general-settings":"Опште","settings.nav.git-settings":"Git","settings.nav.local-environments":"Окружења","settings.nav.mcp-settings":"MCP сервери","settings.nav.notImplemented":"[alpha] Није доступно у верзији Alpha","settings.nav.personalization":"Персонализација","settings.nav.skills-settings":"Вештине","settings.nav.usage-analytics":"Употреба и аналитика","settings.nav.worktrees":"Стабла рада","settings.openSourceLicenses.back":"Назад","settings.openSourceLicenses.loading":"Учитавање...","settings.openSourceLicenses.missing":"Нису пронађена обавештења треће стране.","settings.openSourceLicenses.notSupported":"Није доступно у овом хосту.","settings.openSourceLicenses.rowDescription":"Обавештења трећих страна за зависне елементе у пакетима","settings.openSourceLicenses.rowLabel":"Open source лиценце","settings.openSourceLicenses.subtitle":"Обавештења трећих страна за зависне елементе укључене у ову апликацију","settings.openSourceLicenses.title":"Open source лиценце","settings.openSourceLicenses.view":"Прикажи","settings.personalization.agents.description":"Измени упутства која прилагођавају Codex теби. {learnMore}","settings.personalization.agents.learnMore":"Сазнај више","settings.personalization.agents.loadError":"Учитавање agents.md. није могуће.","settings.personalization.agents.loading":"Учитава се agents.md...","settings.personalization.agents.placeholder":"Додај прилагођена упутства...","settings.personalization.agents.retry":"Покушај поново","settings.personalization.agents.save":"Сачувај","settings.personalization.agents.save.error":"Чување agents.md није могуће","settings.personalization.agents.save.success":"Сачуван agents.md","settings.personalization.agents.title":"Прилагођена упутства","settings.personalization.personality.description":"Одабери подразумевани тон за Codex одговоре","settings.personalization.personality.label":"Личност","settings.sample.contentBody":"Користи овај распоред да креираш панеле са подешавањима са доследним размацима.","settings.sample.contentTitle":"Пробни блок садржаја","settings.section.account":"Налог","settings.section.agent":"Конфигурација","settings.section.data-controls":"Архивиране нити","settings.section.environments":"Окружења у облаку","settings.section.external":"Отвара се у твом прегледачу у верзији Alpha","settings.section.general-settings":"Опште","settings.section.git-settings":"Git","settings.section.local-environments":"Окружења","settings.section.mcp-settings":"MCP сервери","settings.section.mcp-settings.docs":"Документи","settings.section.mcp-settings.subtitle":"Повежи спољашње алатке и изворе података.","settings.section.personalization":"Персонализација","settings.section.skills-settings":"Вештине","settings.section.unavailable":"Још није доступно у верзији Alpha","settings.section.usage-analytics":"Употреба и аналитика","settings.section.worktrees":"Стабла рада","settings.threadDetail.description":"Изабери колико излаза команде ће се приказивати у нитима","settings.threadDetail.label":"Детаљ нити","settings.worktrees.conversation.untitled":"Разговор без наслова","settings.worktrees.delete.error":"Брисање стабла рада није успело","settings.worktrees.empty.body":"Стабла рада које је направио Codex ће се приказивати овде.","settings.worktrees.empty.title":"Још не постоји ниједно стабло рада","settings.worktrees.error.body":"Нешто није било у реду при учитавању стабала рада.","settings.worktrees.error.retry":"Покушај поново","settings.worktrees.error.title":"Учитавање стабала рада није могуће","settings.worktrees.loading.body":"Преузимање података о стаблу рада.","settings.worktrees.loading.title":"Учитавање стабала рада","settings.worktrees.repository.loading":"Учитавања метаподатака спремишта...","settings.worktrees.repository.unknown":"Непознато спремиште","settings.worktrees.row.conversations":"Разговори","settings.worktrees.row.conversations.empty":"Ниједан разговор није повезан са овим стаблом рада.","settings.worktrees.row.conversations.loading":"Учитавање разговора...","settings.worktrees.row.delete":"Избриши","settings.worktrees.row.title":"Стабло рада","sidebarElectron.addWorkspaceRoot":"Додај нови пројекат","sidebarElectron.archiveThread":"Архивирај нит","sidebarElectron.archiveThreadError":"Нит није архивирана","sidebarElectron.collapseFolder":"Скупи фасциклу","sidebarElectron.createStableWorktree.dialog.cancel":"Откажи","sidebarElectron.createStableWorktree.dialog.create":"Направи","sidebarElectron.debugNavLink":"Отклони грешке","sidebarElectron.editWorkspaceRootOptionName":"Измени име","sidebarElectron.expandFolder":"Прошири фасциклу","sidebarElectron.groupByMenu.recency":"Хронолошка листа","sidebarElectron.groupByMenu.title":"Организација","sidebarElectron.groupByMenu.workspace":"Према пројекту","sidebarElectron.inboxRouteNavLink":"Аутоматизације","sidebarElectron.markThreadUnread":"Означи као непрочитано","sidebarElectron.missingWorkspaceRoot":"Ова фасцикла пројекта је избрисана или премештена","sidebarElectron.newThread":"Нова нит","sidebarElectron.newThreadInGroup":"Започни нову нит у фасциклу {folder}","sidebarElectron.noRecentThreads":"Нема недавних нити","sidebarElectron.noTasks":"Нема преписки","sidebarElectron.noTasks.start":"Додај нови пројекат","sidebarElectron.noTasksWithFilter":"Ниједна преписка се не подудара са филтерима","sidebarElectron.pinnedThreads":"Прикачене размене порука","sidebarElectron.recentNavLink":"Нити","sidebarElectron.recentThreads":"Недавне нити","sidebarElectron.removeWorkspaceRootOption":"Уклони","sidebarElectron.renameThread":"Преименуј нит","sidebarElectron.renameThreadDialogAriaLabel":"Наслов низа порука","sidebarElectron.renameThreadDialogCancel":"Откажи","sidebarElectron.renameThreadDialogPlaceholder":"Додај наслов...","sidebarElectron.renameThreadDialogSave":"Сачувај","sidebarElectron.renameThreadDialogSubtitle":"Нека буде кратак и препознатљив.","sidebarElectron.renameThreadDialogTitle":"Преименуј низ порука","sidebarElectron.renameThreadError":"Преименовање нити није успело","sidebarElectron.renameWorkspaceRootOptionLabel":"Име за приказ","sidebarElectron.showLess":"Прикажи мање","sidebarElectron.showMenu.all":"Све нити","sidebarElectron.showMenu.relevant":"Релевантно","sidebarElectron.showMenu.relevantHint":"Приказуј само недавне нити за актуелни огранак, стабла рада или друге нити на које је потребно да обратиш пажњу","sidebarElectron.showMenu.title":"Прикажи","sidebarElectron.showMenu.tooltip":"Филтрирај, сортирај и организуј нити","sidebarElectron.showMenu.trigger":"Филтрирај нити на бочној траци","sidebarElectron.showMore":"Прикажи још","sidebarElectron.skillsRouteNavLink":"Вештине","sidebarElectron.sortMenu.created":"Направљено","sidebarElectron.sortMenu.title":"Сортирај према","sidebarElectron.sortMenu.updated":"Ажурирано","sidebarElectron.taskNavigation":"Фасцикле са аутоматизацијама","sidebarElectron.tasksInFolder":"Аутоматизације у фасцикли {folder}","sidebarElectron.workspaceOptions":"Радње пројекта за фасциклу {folder}","sidebarElectron.worktreeGroupTooltip":"Ово је git стабло рада","skills.appsPage.createSkill":"Нова вештина","skills.appsPage.empty.skills":"Није пронађена ниједна вештина","skills.appsPage.search.skills":"Претражи вештине","skills.appsPage.search.skills.label":"Претражи вештине","skills.appsPage.section.installedApps":"Инсталирано","skills.appsPage.section.skills":"Вештине","skills.appsPage.subheading":"Дај Codex-у супермоћи. <link>Сазнај више</link>","skills.appsPage.tab.recommended":"Препоручено","skills.appsPage.tab.skills":"Вештине","skills.card.contentsError":"Учитавање садржаја вештина није могуће.","skills.card.disable":"Онемогући","skills.card.disableSuccess":"Вештина {skillName} је онемогућена","skills.card.disabledBadge":"Онемогућено","skills.card.enable":"Омогући","skills.card.enableSuccess":"Вештина {skillName} је омогућена","skills.card.loadingContents":"Учитавање садржаја вештина...","skills.card.more":"Још радњи","skills.card.open":"Отвори","skills.card.removeFailed":"Деинсталација вештине није успела","skills.card.removeSuccess":"Вештина {skillName} је деинсталирана","skills.card.toggleEnabledError":"Вештина није ажурирана","skills.card.try":"Испробај","skills.card.trySkill":"Испробај вештину","skills.card.uninstall":"Деинсталирај","skills.hero.dotLabel":"Иди на слајд {index}","skills.hero.next":"Следећа представљена вештина","skills.hero.trySkill":"Испробај вештину","skills.page.createSkill":"Нова вештина","skills.page.empty":"Није пронађена ниједна вештина","skills.page.filteredEmpty":"Ниједна вештина се не подудара са твојим филтерима","skills.page.filteredEmptyDescription":"Покушај да прилагодиш претрагу или филтере обима","skills.page.heading":"Вештине","skills.page.loading":"Учитавање вештина...","skills.page.refreshSkills":"Освежи","skills.page.refreshSkillsToUseNew":"Освежи ради коришћења нових вештина","skills.page.search":"Претражи вештине","skills.page.search.label":"Претражи вештине","skills.page.subheading":"Дај Codex-у супермоћи. <link>Сазнај више</link>","skills.preview.copyPrompt":"Копирај промпт","skills.preview.examplePrompt":"Пример промпта","skills.recommended.error":"Учитавање препоручених порука није успело","skills.recommended.install":"Инсталирај","skills.recommended.installSkill":"Инсталирај вештину","skills.recommended.installSuccess":"Вештина {skillName} је инсталирана","skills.recommended.installed":"Инсталирано","skills.scope.admin":"Администратор","skills.scope.adminInstalled":"Инсталирао администратор","skills.scope.builtIn":"Систем","skills.scope.personal":"Лични","skills.scope.repo":"Спремиште","skills.scope.system":"Систем","skills.scope.team":"Team","skills.scope.user":"Корисник","skills.section.installed":"Инсталирано","skills.section.recommended":"Препоручено","story.slidingToggle.existing":"Постојеће","story.slidingToggle.fromLocal":"Из локалног","story.slidingToggle.new":"Ново","story.slidingToggle.toLocal":"У локално","terminal.close":"Затвори терминал","terminal.title":"Терминал","thinkingShimmer.default":"Размишљам","threadEnvIcon.cloudTooltip":"Овај разговор се одвија у Codex Cloud-у.","threadEnvIcon.localTooltip":"Овај разговор се покреће локално.","threadEnvIcon.worktreeTooltip":"Овај разговор се одвија у локалном git стаблу рада.","threadHeader.archiveConfirmCancel":"Откажи","threadHeader.archiveConfirmConfirm":"Архивирај","threadHeader.archiveConfirmSubtitle":"Можете је пронаћи касније у архивираним нитима.","threadHeader.archiveConfirmTitle":"Желиш ли да архивираш нит?","threadHeader.copyAppLink":"Копирај дубоки линк","threadHeader.copySessionId":"Копирај ИД сесије","threadHeader.copyWorkingDirectory":"Копирај радни директоријум","threadHeader.forkIntoLocal":"Форкуј локално","threadHeader.forkIntoWorktree":"Форкуј на ново стабло рада","threadHeader.forkPendingWorktreePrompt":"Форкуј овај разговор на ново стабло рада.","threadHeader.forkPendingWorktreeTitle":"Форкуј разговор","threadHeader.forkThreadError":"Задатак није форкован","threadHeader.forkThreadRequiresGitRepo":"За форковање на ново стабло рада неопходно је git спремиште","threadHeader.moreActions":"Радње у нити","threadPage.newThread":"Нова нит","threadPage.runAction.changeEnvironment":"Промени окружење","threadPage.runAction.dropdown.titleWithEnvironment":"Радње за окружење {environmentName}","threadPage.runAction.environmentSelector.label":"Одабери окружење","threadPage.runAction.label":"Покренут","threadPage.runAction.missing.label":"Конфигуриши радњу за покретање","threadPage.runAction.setup.commandLabel":"Команда за покретање","threadPage.runAction.setup.description":"Реци Codex-у како да инсталира зависности и покрене твоју апликацију.","threadPage.runAction.setup.editMore":"Подешавања окружења","threadPage.runAction.setup.placeholder":"нпр: инсталирај npm покрени npm","threadPage.runAction.setup.submit":"Сачувај и покрени","threadPage.runAction.setup.title":"Покренут","threadPage.runAction.tooltip.withEnvironment":"Радње за окружење {environmentName}","threadPage.toggleDiffPanel":"Укључи/искључи diff панел","threadPage.toggleTerminal":"Укључи/искључи терминал","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Отвори фасциклу","toolSummaryForCmd.exploredFiles":"<verb>Наведене</verb> датотеке","toolSummaryForCmd.exploredFilesInPath":"<verb>Наведене</verb> датотеке на путањи {path}","toolSummaryForCmd.exploringFiles":"<verb>Навођење</verb> датотека","toolSummaryForCmd.exploringFilesInPath":"<verb>Навођење</verb> датотека на путањи {path}","toolSummaryForCmd.ranGenericCommand":"<status>Команда је покренута</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Покренуто</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Прочитај</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Команда се покреће</status>{timer}","toolSummaryForCmd.runningTimer":"за {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Тражење</verb> упита {query}","toolSummaryForCmd.searchedForFiles":"<verb>Претрага</verb> датотека","toolSummaryForCmd.searchedForInPath":"<verb>Тражење</verb> упита {query} на путањи {path}","toolSummaryForCmd.searchingFor":"<verb>Претраживање</verb> упита {query}","toolSummaryForCmd.searchingForFiles":"<verb>Тражење</verb> датотека","toolSummaryForCmd.searchingForInPath":"<verb>Тражење</verb> упита {query} на путањи {path}","traceRecording.details.noteLabel":"Шта си радио/ла када се то догодило? (необавезно)","traceRecording.details.notePlaceholder":"Дошао/ла си до велике нити, а затим више пута променио/ла картице…","traceRecording.details.submit":"Слање праћења","traceRecording.details.subtitle":"Можемо да пошаљемо ово праћење профила за лакшу дијагностику проблема са перформансама.","traceRecording.details.title":"Желиш ли да пошаљеш праћење профила?","traceRecording.progress.subtitle":"Нека Codex остане отворен док се то обави.","traceRecording.saving.title":"Чување праћења…","traceRecording.startDetails.cancel":"Откажи","traceRecording.startDetails.submit":"У реду, започни снимање","traceRecording.startDetails.subtitle":"Када кликнеш на „У реду“, репродукуј проблем са перформансама па кликни на плутајући црвени индикатор да га зауставиш и прегледај праћење.","traceRecording.startDetails.title":"Како снимање праћења функционише","traceRecording.stopButton.ariaLabel":"Прекини снимање праћења","traceRecording.upload.successToast":"Праћење профила је послато.","traceRecording.uploading.title":"Отпремање праћења...","wham.diff.addComment":"Додај коментар","wham.diff.binaryFile":"Бинарна датотека није приказана","wham.diff.noContent":"Нема садржаја","wham.fileTag.deleted":"Избрисано","wham.fileTag.new":"Ново","wham.formattedRelativeDateTime.compactDaysAgo":"{value} д.","wham.formattedRelativeDateTime.compactHoursAgo":"{value} ч.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} мин.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} мес.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} нед.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} год.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Ради се на твом задатку","wham.whamProposedTask.title":"Препоручени задатак","wham.whamProposedTask.useSuggestion":"Користи предлог","workspaceRootDialog.addError":"Пројекат није додат","workspaceRootDialog.cancel":"Откажи","workspaceRootDialog.confirmAdd":"Додај пројекат","workspaceRootDialog.confirmPick":"Користи пројекат","workspaceRootDialog.description":"Унеси путању на одредишту {host} и користи то као пројекат.","workspaceRootDialog.pathLabel":"Путања пројекта","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Додај путању пројекта","workspaceRootDialog.title.pick":"Одабери путању пројекта","worktreeInitV2.cancel":"Откажи","worktreeInitV2.notification.failedTitle":"Подешавање стабла рада није успело","worktreeInitV2.output.empty":"Чека се на излаз...","worktreeInitV2.status.error":"Подешавање стабла рада није успело.","worktreeInitV2.status.running":"Прављење стабла рада и подешавање покретања.","worktreeInitV2.status.runningFork":"Прављење стабла рада за форковање овог разговора је у току.","worktreeInitV2.status.success":"Стабло рада је спремно.","worktreeInitV2.title":"Прављење стабла рада","worktreeInitV2.workLocallyInstead":"Уместо тога ради локално","worktreeRestoreBanner.body":"Стабло рада ове нити је уклоњено ради уштеде простора на диску","worktreeRestoreBanner.missing.body":"Радни директоријум ове нити више не постоји","worktreeRestoreBanner.missing.title":"Тренутни радни директоријум недостаје","worktreeRestoreBanner.restore.error":"Стабло рада није враћено: {message}","worktreeRestoreBanner.restore.success":"Стабло рада је враћено","worktreeRestoreBanner.restoreCta":"Врати стабло рада","worktreeRestoreBanner.title":"Стабло рада је рашчишћено"};Object.assign(e,globalThis.codexI18nOverrides?.["sr-RS"]);export{e as default};
 //# sourceMappingURL=sr-RS-AOFOkL_T.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopiera","app.sidebar.hide":"Dölj sidopanel","app.sidebar.show":"Visa sidopanel","app.sidebar.tooltip":"Visa/dölj sidopanelen","appHeader.installUpdate":"Uppdatera","appSunset.body":"Den här appversionen stöds inte längre. Ladda ner den senaste versionen <here>här</here>.","appSunset.title":"Uppdatering krävs","automation.updateDirective.create":"Skapa","automation.updateDirective.open":"Öppna","automation.updateDirective.untitled":"Automatisering utan titel","automation.updateDirective.update":"Uppdatera","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# försök} other {# försök}}","cloudTaskRow.archiveError":"Det gick inte att arkivera uppgiften","code.diff.requestChange":"Begär ändring","code.diffComment.cancel":"Avbryt","code.diffComment.comment":"Kommentar","code.diffComment.delete":"Radera","code.diffComment.save":"Spara","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Inga resultat rapporterades.","codex.alert.closeAriaLabel":"Stäng","codex.appUpsellBanner.cbpApi.message":"Bygg snabbare med Codex-appen. Ladda ner den nu eller {learnMoreLink}.","codex.appUpsellBanner.download":"Ladda ner","codex.appUpsellBanner.freeGo.message":"Codex ingår i ditt abonnemang fram till 2 mars. Prova Codex-appen för att bygga snabbare.","codex.appUpsellBanner.later":"Senare","codex.appUpsellBanner.learnMoreLowercase":"läs mer","codex.appUpsellBanner.new":"Ny","codex.appUpsellBanner.proPlusBusiness.message":"Prova Codex-appen med dubbla frekvensgränser fram till den 2 april. Ladda ner nu eller {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-appen","codex.applyDropdown.header.changes":"Ändringar","codex.applyDropdown.header.fileCount":"{count, plural, one {# fil} other {# filer}}","codex.applyDropdown.header.rows":"rader","codex.applyDropdown.header.title":"Tillämpa ändringar","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 konflikterande fil:} other {{count} konflikterande filer:}}","codex.applyDropdown.results.empty":"Inga filer kopierades","codex.applyDropdown.results.skipped":"{count, plural, one {1 fil hoppades över:} other {{count} filer hoppades över:}}","codex.applyOrRevertBanner.apply":"Tillämpa","codex.applyOrRevertBanner.applyMessage":"Tillämpa ändringar och fortsätt lokalt?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Den här uppgiften skapades i {environment} och kan kanske inte tillämpas på ett rent sätt.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Ändringarna gjordes i {environment} och kan kanske inte tillämpas på ett rent sätt.","codex.applyOrRevertBanner.reapply":"Tillämpa igen","codex.applyOrRevertBanner.revert":"Ångra","codex.applyOrRevertBanner.revertMessage":"Ångra tillämpade ändringar?","codex.applyResultsDialog.applied":"Tillämpades rent ({count})","codex.applyResultsDialog.close":"Stäng","codex.applyResultsDialog.conflicted":"Konflikterande ({count})","codex.applyResultsDialog.noDetails":"Det finns ingen information om filen.","codex.applyResultsDialog.skipped":"Hoppades över ({count})","codex.applyResultsDialog.title":"Tillämpa resultat","codex.archiveInfo":"Visa arkiverade chattar i {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Datakontroller","codex.archiveInfo.electron":"Visa arkiverade chattar i {settingsLink}","codex.archiveInfo.extension":"Visa arkiverade chattar i din .codex-mapp.","codex.archiveInfo.settingsLink":"Inställningar","codex.banner.content.description":"Kör uppgifter parallellt, spåra förlopp överallt och granska hämtningsbegäranden med AI.","codex.banner.content.headline":"Codex sköter allt.","codex.cloudTaskRow.archiveTask":"Arkivera uppgift","codex.cloudTaskRow.confirmArchiveTask":"Bekräfta","codex.command.feedback":"Feedback","codex.command.findInThread":"Hitta","codex.command.forceReloadSkills":"Tvinga omladdning av färdigheter","codex.command.logOut":"Logga ut","codex.command.manageTasks":"Hantera aktiviteter","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Tillbaka","codex.command.navigateForward":"Framåt","codex.command.newThread":"Ny tråd","codex.command.nextThread":"Nästa tråd","codex.command.openFolder":"Öppna mapp","codex.command.openSkills":"Gå till färdigheter","codex.command.openThreadOverlay":"Öppna tråd separat","codex.command.personalitySettings":"Personlighet","codex.command.previousThread":"Föregående tråd","codex.command.settings":"Inställningar","codex.command.toggleDiffPanel":"Växla diff-panel","codex.command.toggleSidebar":"Visa/dölj sidopanelen","codex.command.toggleTerminal":"Visa/dölj terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"Konfigurera","codex.commandGroup.navigation":"Navigering","codex.commandGroup.panels":"Paneler","codex.commandGroup.skills":"Färdigheter","codex.commandGroup.thread":"Tråd","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Inga träffar","codex.commandMenu.searchPlaceholder":"Sök kommandon","codex.commandMenu.suggestedGroup":"Förslag","codex.commandMenu.switchWorkspace":"Byt projekt","codex.commandMenu.title":"Kommandomeny","codex.common.retry":"Försök igen","codex.composer.searchBranches":"Sök efter förgreningar","codex.dialog.basic.body":"Det här är en enkel dialogmodal med vårt omslag kring Radix Dialog.","codex.dialog.basic.cancel":"Avbryt","codex.dialog.basic.confirm":"Bekräfta","codex.dialog.basic.open":"Öppna dialog","codex.dialog.basic.title":"Exempeldialog","codex.dialog.long.close":"Stäng","codex.dialog.long.line":"Rullningsbar rad {index} för att demonstrera innehåll i långformat inuti dialogen.","codex.dialog.long.open":"Öppna lång dialog","codex.dialog.long.title":"Dialog för innehåll i långformat","codex.dialog.unstyled.body":"Denna story visar hur anropare helt kan styra formateringen av dialogens innehåll.","codex.dialog.unstyled.open":"Öppna oformaterad dialog","codex.dialog.unstyled.title":"Innehåll utan formatering","codex.diff.openInEditorPrompt.openButton":"Öppna i redigeraren","codex.diff.openInEditorPrompt.singleLine":"Denna fil är för stor att visas här.","codex.diffView.failedToDecodeBase64Diff":"Det gick inte att avkoda base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {# fil har ändrats} other {# filer har ändrats}}","codex.diffView.imagePreviewAlt":"Förhandsgranskning av bild","codex.diffView.imagePreviewEmpty":"Ingen bild","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Inga diff-data","codex.diffView.pdfPreview.nextPage":"Nästa sida","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Föregående sida","codex.diffView.pdfPreviewEmpty":"Ingen PDF-förhandsgranskning","codex.diffView.pdfPreviewError":"Det gick inte att rendera PDF-förhandsgranskningen","codex.diffView.richPreviewDisable":"Inaktivera formaterad förhandsgranskning","codex.diffView.richPreviewEnable":"Aktivera formaterad förhandsgranskning","codex.diffView.richPreviewLoading":"Laddar förhandsgranskning …","codex.diffView.richPreviewToggle":"Aktivera/inaktivera formaterad förhandsgranskning","codex.diffView.switchToUnified":"Växla till enhetlig diff","codex.environmentSelector.noEnvironment":"Ingen miljö","codex.environments.environmentSettings":"Miljöinställningar","codex.environments.learnMore":"Läs mer","codex.environments.listError":"Det gick inte att ladda miljöer.","codex.environments.noEnvironmentsFound":"Inga miljöer hittades","codex.environments.searchError":"Det gick inte att söka miljöer.","codex.errorBoundary.genericError":"Hoppsan, det har uppstått ett fel","codex.errorBoundary.goHome":"Försök igen","codex.file.patch.missing":"Det gick inte att bygga en patch för den här filen.","codex.gallery.automations.cwdLabel":"Projekt","codex.gallery.automations.nameLabel":"Namn","codex.gallery.automations.namePlaceholder":"Sammanfatta en uppgift","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Beskriv vad Codex ska göra","codex.gallery.dialogs.automation.label":"Automatiseringsdialog","codex.gallery.dialogs.basic.body":"Använd denna layout för enkla bekräftelser eller korta formulär.","codex.gallery.dialogs.basic.cancel":"Avbryt","codex.gallery.dialogs.basic.confirm":"Bekräfta","codex.gallery.dialogs.basic.label":"Grundläggande dialog","codex.gallery.dialogs.basic.title":"Exempeldialog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Beskriv problemet","codex.gallery.dialogs.feedbackSubmission.bad":"Dåligt resultat","codex.gallery.dialogs.feedbackSubmission.bug":"Fel","codex.gallery.dialogs.feedbackSubmission.good":"Bra resultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inkludera loggar från aktuell Codex-session","codex.gallery.dialogs.feedbackSubmission.label":"Lämna feedback","codex.gallery.dialogs.feedbackSubmission.other":"Annan","codex.gallery.dialogs.feedbackSubmission.placeholder":"Beskriv problemet här","codex.gallery.dialogs.feedbackSubmission.submit":"Skicka","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback har laddats upp. Om problemet kvarstår kan du öppna ett GitHub-ärende eller nämna trådens ID i ett befintligt öppet ärende:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Stäng","codex.gallery.dialogs.feedbackSuccess.label":"Feedback har skickats","codex.gallery.dialogs.feedbackSuccess.title":"Feedback har laddats upp.","codex.gallery.dialogs.gitApplyResults.applied":"Tillämpades rent (2)","codex.gallery.dialogs.gitApplyResults.close":"Stäng","codex.gallery.dialogs.gitApplyResults.conflicted":"Konflikterande: (1)","codex.gallery.dialogs.gitApplyResults.label":"Tillämpa resultat","codex.gallery.dialogs.gitApplyResults.title":"Tillämpa resultat","codex.gallery.dialogs.gitPushError.body":"Hämta de senaste ändringarna eller tvinga push om du vet att fjärrhistoriken kan skrivas över.","codex.gallery.dialogs.gitPushError.cancel":"Avbryt","codex.gallery.dialogs.gitPushError.force":"Tvinga push","codex.gallery.dialogs.gitPushError.label":"Push-fel","codex.gallery.dialogs.gitPushError.subtitle":"Din gren är bakom ursprunglig/primär.","codex.gallery.dialogs.gitPushError.title":"Det gick inte att pusha ändringarna","codex.gallery.dialogs.gitRevert.cancel":"Avbryt","codex.gallery.dialogs.gitRevert.confirm":"Ångra","codex.gallery.dialogs.gitRevert.label":"Återställ ändringar","codex.gallery.dialogs.gitRevert.skip":"Fråga inte igen","codex.gallery.dialogs.gitRevert.subtitle":"Denna åtgärd raderar alla dessa ändringar.","codex.gallery.dialogs.gitRevert.title":"Återställ ändringar?","codex.gallery.dialogs.longForm.label":"Dialog i långt format","codex.gallery.dialogs.proseModal.body":"Denna modalstil används för längre instruktioner, onboarding eller block med formaterat innehåll.","codex.gallery.dialogs.proseModal.close":"Stäng","codex.gallery.dialogs.proseModal.subtitle":"Dela vägledning eller dokumentation i längre format här.","codex.gallery.dialogs.proseModal.title":"Brödtextmodal","codex.gallery.dialogs.submitBlocked.label":"Inlämningen blockerades","codex.gallery.dialogs.submitBlocked.message":"Det gick inte att skicka meddelandet eftersom projektet inte är tillgängligt.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Det gick inte att skicka meddelandet","codex.gallery.dialogs.title":"Dialoger","codex.gallery.dropdown.filterPlaceholder":"Filterobjekt","codex.gallery.dropdowns.actionRow":"Åtgärdsrader","codex.gallery.dropdowns.actionRow.disabled":"Inaktiverad åtgärd","codex.gallery.dropdowns.actionRow.primary":"Primär åtgärd","codex.gallery.dropdowns.actionRow.secondary":"Sekundär åtgärd","codex.gallery.dropdowns.actionRow.trigger":"Visa åtgärder","codex.gallery.dropdowns.basic":"Grundläggande listruta","codex.gallery.dropdowns.basic.newFile":"Ny fil","codex.gallery.dropdowns.basic.newFolder":"Ny mapp","codex.gallery.dropdowns.basic.openSettings":"Öppna inställningarna","codex.gallery.dropdowns.basic.title":"Snabbåtgärder","codex.gallery.dropdowns.basic.trigger":"Öppna meny","codex.gallery.dropdowns.basic.upload":"Ladda upp","codex.gallery.dropdowns.panel":"Panelyta","codex.gallery.dropdowns.panel.apply":"Tillämpa","codex.gallery.dropdowns.panel.body":"Granska diffs och tillämpa i ditt projekt.","codex.gallery.dropdowns.panel.preview":"Förhandsgranskning","codex.gallery.dropdowns.panel.title":"Tillämpa ändringar","codex.gallery.dropdowns.panel.trigger":"Öppna panel","codex.gallery.dropdowns.search":"Sökbar listruta","codex.gallery.dropdowns.search.first":"Alpha-kanal","codex.gallery.dropdowns.search.second":"Beta-gren","codex.gallery.dropdowns.search.third":"Releasekandidat","codex.gallery.dropdowns.search.trigger":"Filterobjekt","codex.gallery.dropdowns.submenu":"Listruta med undermeny","codex.gallery.dropdowns.submenu.optionA":"Projekt alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Tilldela ägare","codex.gallery.dropdowns.submenu.secondary":"Flytta till","codex.gallery.dropdowns.submenu.tertiary":"Arkivera","codex.gallery.dropdowns.submenu.trigger":"Välj åtgärd","codex.gallery.dropdowns.title":"Listrutor","codex.gallery.inbox.automations.close":"Stäng","codex.gallery.inbox.automations.popover.cardTitle":"Hantera automatiseringar","codex.gallery.inbox.automations.popover.dialogTitle":"Hantera automatiseringar","codex.header.settingsTooltip":"Inställningar","codex.hunk.patch.error":"Det gick inte att staga","codex.hunk.patch.missing":"Det gick inte att bygga en patch för denna hunk.","codex.hunk.patch.partialSuccess":"Delvis slutfört","codex.hunk.patch.revertError":"Det gick inte att avstaga","codex.hunk.patch.revertSuccess":"Har avstagats","codex.hunk.patch.success":"Har stagats","codex.legal.autonomy.details":"Se mer information i {link}","codex.legal.autonomy.details.link":"Codex-dokument","codex.legal.autonomy.title":"Bestäm hur mycket autonomi du vill bevilja","codex.legal.backButton":"Tillbaka","codex.legal.cloud.taskOne.meta":"openai/agi · 12 okt","codex.legal.cloud.taskOne.title":"Förklara kodförråd för en ny designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8 okt","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Skapa ett mörkt tema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 okt","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Åtgärda ett onboardingfel","codex.legal.continue.apikey":"Fortsätt","codex.legal.continueButton":"Nästa","codex.legal.copilot.details":"Använder ditt Copilot-abonnemang för alla modellanrop, fakturering och frekvensgränser. Både {oaiTos} och {gitHubTos} gäller vid användning av Codex-tillägg.","codex.legal.copilot.gitHubTosLink":"Tjänstevillkor för GitHub","codex.legal.copilot.oaiTosLink":"Tjänstevillkor för OpenAI Codex","codex.legal.copilot.title":"Baseras på GitHub Copilot","codex.legal.mistakes.review":"Granska kod som den skriver och kommandon den kör","codex.legal.mistakes.title":"Codex kan begå misstag","codex.legal.powered.details":"Använder ditt abonnemangs frekvensgränser och {link}","codex.legal.powered.details.link":"inställningar för träningsdata","codex.legal.powered.title":"Baseras på ditt ChatGPT-konto","codex.legal.step.cloud.subtitle":"Skicka uppgifter som Codex kan köra i bakgrunden, så att du kan fokusera och arbeta snabbare.","codex.legal.step.cloud.title":"Delegera till Codex i molnet","codex.legal.step.intro.subtitle":"Codex navigerar, redigerar, kör kommandon och utför tester direkt i ditt kodförråd. Baseras på ditt ChatGPT-konto.","codex.legal.step.intro.title":"Codex i din IDE","codex.legal.step.todo.subtitle":"Skriv en TODO-kommentar och konvertera den till en Codex-uppgift med ett enda klick.","codex.legal.step.todo.title":"Omvandla TODO-kommentarer till Codex-uppgifter","codex.legal.todo.heading":"// TODO: implementera schema","codex.localConversation.closeImagePreview":"Stäng förhandsgranskning av bild","codex.localConversation.userImageAttachment":"Användarbilaga","codex.localTaskRow.archiveTask":"Arkivera tråd","codex.localTaskRow.awaitingApproval":"Väntar på godkännande","codex.localTaskRow.awaitingResponse":"Väntar på svar","codex.localTaskRow.confirmArchiveTask":"Bekräfta","codex.loggedOut.apiKeyPrompt.cancel":"Avbryt","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Hämta API-nyckel","codex.loggedOut.apiKeyPrompt.inputLabel":"Ange din API-nyckel för OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Molnuppgifter är inaktiverade med API-nyckel","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Molnuppgifter är inaktiverade med Copilot och API-nyckel","codex.loggedOut.signIn":"Logga in med ChatGPT","codex.loggedOut.signIn.cancel":"Avbryt inloggning","codex.loggedOut.signInWithCopilot":"Logga in med GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Använd API-nyckel","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} verktyg","codex.mcpTool.collapsedLabel.verb.called":"Anropade","codex.mcpTool.collapsedLabel.verb.calling":"Anropar","codex.mcpTool.embeddedResource.contentLabel":"Innehåll","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-typ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Verktyget returnerade inget innehåll","codex.mcpTool.rawPayloadHeading":"Rå {server}. Nyttolast för {tool}-verktygsanrop","codex.menu.recent":"Senaste","codex.menu.seeAllHistory":"Se all historik","codex.modelCapacityBanner.headline.noReset":"{modelName} har nått sin kapacitet för stunden. Försök igen senare eller inled ett nytt samtal med en annan modell.","codex.modelCapacityBanner.headline.withReset":"{modelName} har nått sin kapacitet för stunden. Försök igen efter {resetDate} eller inled ett nytt samtal med en annan modell.","codex.modelCapacityBanner.title":"Den valda modellen har nått sin kapacitet","codex.patch.change.contentsDeleted":"Innehåll har raderats","codex.patch.change.created":"Skapad","codex.patch.change.created-file":"Skapad fil","codex.patch.change.creating":"Skapar","codex.patch.change.deleted":"Raderad","codex.patch.change.deleted-file":"Raderad fil","codex.patch.change.deleting":"Raderar","codex.patch.change.edited":"Redigerade","codex.patch.change.edited-file":"Redigerad fil","codex.patch.change.editing":"Redigerar","codex.patch.change.noChanges":"Inga ändringar","codex.patch.change.rejected-add":"Avvisades","codex.patch.change.rejected-delete":"Avvisades","codex.patch.change.rejected-edit":"Avvisades","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} av {total} uppgifter har slutförts","codex.plan.todoListCreated":"Att göra-lista har skapats med {total} uppgifter","codex.profileDropdown.apiKeyAuth":"Inloggad med API-nyckel","codex.profileDropdown.codexSettings":"Codex-inställningar","codex.profileDropdown.copilotAuth":"Inloggad med Copilot","codex.profileDropdown.defaultAccountTitle":"Standardkonto","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Retur för att skicka långa prompter","codex.profileDropdown.enterBehaviorError":"Det gick inte att uppdatera inställningen","codex.profileDropdown.getPlus":"Uppgradera för högre gränser","codex.profileDropdown.keyboardShortcuts":"Tangentbordsgenvägar","codex.profileDropdown.language":"Språk","codex.profileDropdown.languageDefault":"Upptäck automatiskt","codex.profileDropdown.languageSearchPlaceholder":"Sök efter språk","codex.profileDropdown.languageUpdateError":"Det gick inte att uppdatera språket","codex.profileDropdown.logOut":"Logga ut","codex.profileDropdown.mcp":"MCP-inställningar","codex.profileDropdown.openConfigToml":"Öppna config.toml","codex.profileDropdown.openConfigToml.wsl":"Öppna config.toml i WSL-miljö","codex.profileDropdown.openExtensionSettings":"Öppna inställningarna","codex.profileDropdown.openMcpSettings":"Öppna MCP-inställningar","codex.profileDropdown.openOnStartup":"Öppna vid start","codex.profileDropdown.openOnStartupError":"Det gick inte att uppdatera inställningen","codex.profileDropdown.openSkillsSettings":"Öppna inställningar för färdigheter","codex.profileDropdown.personalAccountTitle":"Personligt konto","codex.profileDropdown.queueFollowUps":"Köa uppföljningar","codex.profileDropdown.queueFollowUpsError":"Det gick inte att uppdatera inställningen","codex.profileDropdown.readDocs":"Läs dokument","codex.profileDropdown.readSkillsDocs":"Läs dokument","codex.profileDropdown.runInWsl":"Kör i WSL","codex.profileDropdown.runInWslError":"Det gick inte att uppdatera inställningen","codex.profileDropdown.runInWslTooltip":"Kör Codex i WSL. Rekommenderas för bättre säkerhet i sandlådan och bättre prestanda.","codex.profileDropdown.settings":"IDE-inställningar","codex.profileDropdown.settingsPage":"Inställningar","codex.profileDropdown.signInWithOpenAI":"Logga in med ChatGPT","codex.profileDropdown.skills":"Inställningar för färdigheter","codex.profileDropdown.switchToCopilotAccount":"Använd Copilot-konto","codex.profileDropdown.switchToOpenAIAccount":"Använd OpenAI-konto","codex.profileDropdown.todoCodelens":"Åtgärda TODO-kommentarer","codex.profileDropdown.todoCodelensError":"Det gick inte att uppdatera inställningen","codex.profileDropdown.windowsDocumentation":"Windows-dokumentation","codex.profileFooter.signedInFallback":"Inställningar","codex.profileFooter.upgrade":"Uppgradera","codex.recentTasksMenu.clearSearch":"Rensa sökningen","codex.recentTasksMenu.cloud":"Molnuppgifter","codex.recentTasksMenu.count":"{count, plural, =0 {Inga uppgifter pågår} one {# uppgift pågår} other {# uppgifter pågår}}","codex.recentTasksMenu.empty":"Inga trådar än","codex.recentTasksMenu.errorCloud":"Det gick inte att ladda uppgifter.","codex.recentTasksMenu.errorCloud.inline":"Det gick inte att ladda molnuppgifter.","codex.recentTasksMenu.filterAll":"Alla","codex.recentTasksMenu.filterCloudTasks":"Filtrera molnuppgifter","codex.recentTasksMenu.filterTooltip":"Filtrera uppgifter efter miljö","codex.recentTasksMenu.local":"Lokala uppgifter","codex.recentTasksMenu.recent":"Alla uppgifter","codex.recentTasksMenu.search":"Sök senaste uppgifter","codex.recentTasksMenu.searchEmpty":"Inga resultat","codex.recentTasksMenu.tooltip":"Uppgiftshistorik","codex.recentTasksMenu.trigger":"Senaste uppgifter. {count, plural, one {# pågår} other {# pågår}}","codex.remoteConversation.applyDiff.applyCta":"Tillämpa ändringar","codex.remoteConversation.applyDiff.dropdownTitle":"Tillämpa ändringar på en lokal gren","codex.remoteConversation.applyDiff.revertCta":"Återställ ändringar","codex.remoteConversation.closeImagePreview":"Stäng förhandsgranskning av bild","codex.remoteConversation.codexCloudTask":"Du visar en <u>Codex-molnuppgift</u>","codex.remoteConversation.errorWithMessage":"Fel: {message}","codex.remoteConversation.loadingImage":"Laddar bild","codex.remoteConversation.openInWeb":"Öppna på webben","codex.remoteConversation.streaming":"Sätter igång","codex.remoteConversation.turnFailed":"Ett fel uppstod under den här uppgiften","codex.remoteConversation.turnTab.loading":"Försök {number}","codex.remoteConversation.turnTab.title":"Försök {number}","codex.remoteConversation.userImageAttachment":"Användarbilaga","codex.remoteConversation.viewPreviousTurns":"Öppna på webben","codex.remoteConversation.viewPreviousTurns.buttonText":"Öppna","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Öppna på webben","codex.review.copyGitApplyCommand":"Kopiera kommando för git-tillämpning","codex.review.copyGitApplyCommand.toast":"Kopierade git-tillämpningskommando till urklipp","codex.review.diffTooLarge.description":"Denna diff är för stor att visa i Granskning.","codex.review.diffTooLarge.title":"Denna diff är för stor att visas","codex.review.expandOrCollapseDiffButton.collapse":"Stäng alla diffs","codex.review.expandOrCollapseDiffButton.expand":"Expandera alla diffs","codex.review.expandOrCollapseDiffMenu.collapse":"Stäng alla diffs","codex.review.expandOrCollapseDiffMenu.expand":"Expandera alla diffs","codex.review.fileSearch.clear":"Rensa filtret för filer","codex.review.fileSearch.empty":"Inga filer matchar det aktuella filtret.","codex.review.fileSearch.label":"Filtrera filer","codex.review.fileSearch.placeholder":"Filtrera filer …","codex.review.filesChanged":"{num, plural, =0 {Inga filer har ändrats} one {# fil har ändrats} other {# filer har ändrats}}","codex.review.find.loadMore":"Ladda fler träffar","codex.review.fullReview.hideFileTree":"Dölj filträd","codex.review.fullReview.showFileTree":"Visa filträd","codex.review.header.moreOptions":"Granskningsalternativ","codex.review.largeDiff.banner":"Stor diff har upptäckts – visar en fil åt gången.","codex.review.loadFullFiles.disable":"Ladda inte hela filer","codex.review.loadFullFiles.enable":"Ladda hela filer","codex.review.noDiff":"Filändringar visas här","codex.review.noDiff.gitInit.createRepository":"Skapa Git-kodförråd","codex.review.noDiff.gitInit.creating":"Skapar …","codex.review.noDiff.gitInit.error":"Git init misslyckades: {message}","codex.review.noDiff.gitInit.success":"Git-kodförråd har skapats","codex.review.noDiff.gitRepoRequired.description":"Registrera och ångra ändringar i det här projektet","codex.review.noDiff.gitRepoRequired.title":"Skapade ett Git-kodförråd","codex.review.noDiff.orNoLongerAvailable":"eller så är senaste diffs inte längre tillgängliga","codex.review.noDiff.reverted":"Den senaste vändningen har återställts","codex.review.noDiff.revertedOrCommitted":"Den senaste vändningen har antingen återställts eller överlämnats","codex.review.refreshGitQueries":"Uppdatera","codex.review.revert.file.error":"Det gick inte att återställa {path}","codex.review.revert.file.partialSuccess":"{path} har delvis återställts","codex.review.revert.file.success":"{path} har återställts","codex.review.revert.hunk.error":"Det gick inte att återställa hunk {hunkNumber} i {path}.","codex.review.revert.hunk.partialSuccess":"Hunk {hunkNumber} i {path} har delvis återställts","codex.review.revert.hunk.success":"Hunk {hunkNumber} i {path} har återställts","codex.review.revert.section.error":"Det gick inte att återställa sektionen","codex.review.revert.section.partialSuccess":"Sektionen har delvis återställts","codex.review.revert.section.success":"Sektionen har återställts","codex.review.revertDialog.cancel":"Avbryt","codex.review.revertDialog.confirm":"Bekräfta","codex.review.revertDialog.message":"Denna åtgärd raderar alla dessa ändringar.","codex.review.revertDialog.skip":"Fråga inte igen","codex.review.revertDialog.title":"Återställ ändringar?","codex.review.richPreview.disable":"Inaktivera formaterad förhandsgranskning","codex.review.richPreview.enable":"Aktivera formaterad förhandsgranskning","codex.review.source.cloud":"Molnändringar","codex.review.source.local.all":"Alla grenändringar","codex.review.source.local.lastTurn":"Ändringar i senaste vändningen","codex.review.source.local.uncommitted":"Icke-överlämnade ändringar","codex.review.source.worktree":"Icke-överlämnade ändringar i arbetsträd","codex.review.stageFilter.empty.staged.description":"Godkänn ändringar som du vill staga","codex.review.stageFilter.empty.staged.title":"Inga stagade ändringar","codex.review.stageFilter.empty.unstaged.description":"Kodändringar visas här","codex.review.stageFilter.empty.unstaged.title":"Inga avstagade ändringar","codex.review.stageFilter.staged":"Stagade","codex.review.stageFilter.staged.count":"Stagade · {count}","codex.review.stageFilter.unstaged":"Avstagade","codex.review.stageFilter.unstaged.count":"Avstagade · {count}","codex.review.switchToSplit":"Växla till delad diff","codex.review.switchToUnified":"Växla till enhetlig diff","codex.review.toggleDiffView":"Växla diff-vy","codex.review.wordDiffs.disable":"Inaktivera diffs på ordnivå","codex.review.wordDiffs.enable":"Aktivera diffs på ordnivå","codex.review.wrap.disable":"Inaktivera radbrytning","codex.review.wrap.enable":"Aktivera radbrytning","codex.section.patch.missing":"Det gick inte att bygga en patch för denna sektion.","codex.shell.collapse":"Dölj skal","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Skalinnehåll har kopierats","codex.shell.copy.copyTooltip":"Kopiera skalinnehåll","codex.shell.copyCommand":"Kopiera kommando","codex.shell.copyOutput":"Kopiera utdata","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Visa skal","codex.shell.name":"Skal","codex.shell.noOutput":"Inga utdata","codex.signInFailed.message":"Inloggningen misslyckades: {rawMessage}","codex.stories.toast.show":"Visa toast","codex.stories.tooltip.basic":"Detta är ett verktygstips","codex.stories.tooltip.hoverMe":"Hovra över mig","codex.stories.tooltip.largerOffset":"Detta verktygstips har en större förskjutning","codex.stories.tooltip.offsetButton":"Större förskjutning","codex.stories.tooltip.shortcutButton":"Med genväg","codex.stories.tooltip.withShortcut":"Visa/dölj terminal","codex.taskRow.title":"Ny tråd","codex.taskRowLayout.confirm":"Bekräfta","codex.threadFindBar.chatFilter":"Sök i chatt","codex.threadFindBar.close":"Stäng Hitta","codex.threadFindBar.diffFilter":"Sök efter diffs","codex.threadFindBar.label":"Hitta i tråd","codex.threadFindBar.nextResult":"Nästa resultat","codex.threadFindBar.noResults":"0 resultat","codex.threadFindBar.placeholder":"Sök tråd …","codex.threadFindBar.placeholder.extension":"Sök tråd …","codex.threadFindBar.placeholder.review":"Sök diff …","codex.threadFindBar.placeholder.review.extension":"Sök diff …","codex.threadFindBar.previousResult":"Föregående resultat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fil har ändrats} other {# filer har ändrats}}","codex.unifiedDiff.inlineLargeFile":"För stor att rendera inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Ångra","codex.unifiedDiff.revertPatchError":"Det gick inte att ångra ändringen","codex.unifiedDiff.revertPatchSuccess":"Ändringarna har ångrats","codex.unifiedDiff.reviewChangesSuffix":"ändringar","codex.unifiedDiff.reviewShort":"Granska","codex.unifiedDiff.viewDiffTooltip":"Granska","codex.upsellBanner.business.headline":"Skicka en förfrågan till din administratör om du behöver mer åtkomst redan nu, eller vänta tills {resetDate}.","codex.upsellBanner.cbp.headline":"Skicka en förfrågan till din administratör om du behöver mer åtkomst redan nu.","codex.upsellBanner.cta.addCredits":"Lägg till krediter","codex.upsellBanner.cta.upgradeAccount":"Uppgradera","codex.upsellBanner.cta.viewUsage":"Se användning","codex.upsellBanner.free.trialHeadline":"Din frekvensgräns återställs {resetDate}. Starta din gratis provperiod med Plus idag för att fortsätta använda Codex och få åtkomst till GPT-5.3-Codex.","codex.upsellBanner.freeOrGo.headline":"Din frekvensgräns återställs {resetDate}. Uppgradera till Plus idag för att fortsätta använda Codex.","codex.upsellBanner.general.headline":"Din frekvensgräns återställs {resetDate}.","codex.upsellBanner.general.title":"Du har inga Codex-meddelanden kvar","codex.upsellBanner.go.trialHeadline":"Din frekvensgräns återställs {resetDate}. Starta din gratis provperiod med Plus idag för att fortsätta använda Codex.","codex.upsellBanner.plus.headline":"Din frekvensgräns återställs {resetDate}. Lägg till krediter eller uppgradera till Pro idag för att fortsätta använda Codex.","codex.upsellBanner.pro.headline":"Din frekvensgräns återställs {resetDate}. Lägg till krediter för att fortsätta använda Codex nu.","codex.userMessage.autoResolveSync":"Åtgärda konflikter automatiskt","codex.userMessage.commentCount":"{count, plural, one {# kommentar} other {# kommentarer}}","codex.userMessage.copiedAriaLabel":"Kopierat","codex.userMessage.copiedTooltip":"Kopierat","codex.userMessage.copyAriaLabel":"Kopiera meddelandet","codex.userMessage.copyTooltip":"Kopiera","codex.userMessage.implementPlan":"Implementera plan","codex.userMessage.noContent":"(Inget innehåll)","codex.userMessage.priorConversation":"Hänvisar till tidigare samtal","codex.userMessage.reviewMode":"Granskningsläge","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"för {query}","codex.webSearch.summary.verb.completed":"Sökte på webben","codex.webSearch.summary.verb.inProgress":"Söker på webben","codex.windowsInstallWslBanner.dismiss":"Stäng","codex.windowsInstallWslBanner.installWslCta":"Aktivera sandlåda","codex.windowsInstallWslBanner.learnMore":"Läs mer","codex.windowsSandboxBanner.content":"Agentläge använder en experimentell sandlåda i Windows för att begränsa åtkomst till filsystem och nätverk. {sandboxLink}","codex.windowsSandboxBanner.title":"Aktivera sandlåda för agentläge","codex.windowsSubDropdown.windowsSandbox":"Windows-sandlåda","codex.windowsSubDropdown.windowsSettings":"Windows-inställningar","codexUpgradeModal.body":"Vår senaste, toppmoderna agentiska kodningsmodell – smartare, snabbare och bättre på att hantera allmänt tekniskt arbete. {link}","codexUpgradeModal.close":"Stäng","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Läs mer","codexUpgradeModal.title":"Vi presenterar: GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Prova GPT-5.3-Codex nu","codexUpgradeModal.useExistingModel":"Fortsätt med nuvarande modell","commentAttachments.numComments":"{count, plural, one {# kommentar} other {# kommentarer}}","commentAttachments.removeAriaLabel":"Ta bort kommentarsbilaga","common.close":"Stäng","composer.addContext.openFilePickerError":"Det gick inte att öppna filväljaren","composer.addContextDropdown.ariaLabel":"Lägg till filer med mera","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Lägg till filer med mera","composer.addPhotosAndFiles":"Lägg till foton och filer","composer.atMentionList.emptyQuery":"Skriv för att söka efter filer","composer.atMentionList.loading":"Söker…","composer.atMentionList.noResults":"Inga resultat","composer.attemptsSelector.option":"{count, plural, one {# version} other {# versioner}}","composer.attemptsSelector.tooltip":"Antal parallella försök som Codex ska göra","composer.attemptsSelector.trigger":"{count} x","composer.backgroundTerminals.stop":"Stoppa","composer.cloudFollowUp.cloud":"Moln","composer.cloudFollowUp.local":"Lokalt","composer.cloudFollowUp.whereRun":"Var ska uppföljningen köras?","composer.cloudTaskCreationError":"Fel när molnuppgiften skulle skapas","composer.cloudTaskError":"Fel när uppgiften skulle skapas","composer.contextWindow.autoCompactionTooltipLine1":"Codex komprimerar sin kontext automatiskt","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontextfönster:","composer.contextWindowUsageStatusFull":"{usage} % fullt","composer.contextWindowUsageStatusLeft":"{usage} % används ({remaining} % kvar)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens används","composer.customCliTooltip":"Använder ett anpassat körbart CLI-program","composer.dictation.aria":"Diktera","composer.dictation.cancel.aria":"Sluta diktera","composer.dictation.cancel.tooltip":"Sluta diktera","composer.dictation.startError":"Det gick inte att starta diktering","composer.dictation.submit.aria":"Transkribera och skicka","composer.dictation.submit.tooltip":"Transkribera och skicka","composer.dictation.tooltip":"Håll för att diktera","composer.dictation.transcribeError":"Det gick inte att transkribera ljud","composer.dictation.unsupported":"Diktering är inte tillgängligt på den här enheten","composer.dropOverlay.holdShift":"Håll ned {key} för att släppa","composer.dropOverlay.shiftKey":"Skift","composer.environmentSelector.createNew":"Skapa ny","composer.environmentSelector.error":"Ett fel uppstod när miljöer skulle laddas","composer.environmentSelector.goBack":"Tillbaka till kompositören","composer.environmentSelector.title":"Välj miljö","composer.environmentSelector.tooltip":"Välj en molnmiljö","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Välj en fil","composer.filePicker.selectFiles":"Välj filer","composer.followerTooltip":"Återgå till fönstret där samtalet startade för att fortsätta.","composer.footer.branchSwitch.checkoutError":"Det gick inte att byta gren: {message}","composer.footer.branchSwitch.createAndCheckout":"Skapa och checka ut ny gren …","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Överlämna ändringar för att skapa och checka ut en ny gren","composer.footer.branchSwitch.createBranchError":"Det gick inte att skapa gren: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Grenens namn","composer.footer.branchSwitch.createDialog.branchExistsError":"Grenen finns redan.","composer.footer.branchSwitch.createDialog.close":"Stäng","composer.footer.branchSwitch.createDialog.createAndCheckout":"Skapa och checka ut","composer.footer.branchSwitch.createDialog.placeholder":"ny-gren","composer.footer.branchSwitch.createDialog.title":"Skapa och checka ut gren","composer.footer.branchSwitch.createDialog.trailingSlashError":"Namn på grenar får inte sluta med ”/”.","composer.footer.branchSwitch.tooltip":"Byt gren","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Överlämna ändringar i {fileCount, plural, one {# fil} other {# filer}} för att checka ut {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Överlämna","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"ändringar i {fileCount, plural, one {# fil} other {# filer}} för att checka ut {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Avbryt","composer.footer.branchSwitch.uncommittedDialog.commit":"Överlämna och byt gren …","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Dina ändringar av följande filer skrivs över vid utcheckning:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Överlämna ändringarna för att fortsätta","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"den valda grenen","composer.footer.branchSwitch.uncommittedDialog.title":"Överlämna ändringar för att byta gren","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Icke-överlämnade: {fileCount, plural, one {# fil} other {# filer}}","composer.forkSlashCommand.description":"Kopiera denna tråd lokalt eller till ett nytt arbetsträd","composer.forkSlashCommand.option.local.description":"Fortsätt i en ny lokal tråd","composer.forkSlashCommand.option.local.title":"Kopiera lokalt","composer.forkSlashCommand.option.worktree.description":"Fortsätt i ett nytt arbetsträd","composer.forkSlashCommand.option.worktree.title":"Kopiera till nytt arbetsträd","composer.forkSlashCommand.title":"Förgrening","composer.ideContextIndicator":"IDE-kontext","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Inkludera kontext från IDE","composer.ideContextIndicator.tooltipToggle":"för att växla","composer.ideContextSlashCommand.disableDescription":"Stäng av IDE-kontext","composer.ideContextSlashCommand.enableDescription":"Inkludera aktuellt val, öppna filer och annan kontext från din IDE","composer.ideContextSlashCommand.title":"IDE-kontext","composer.imageInputsUnsupported":"Denna modell har inte stöd för bildindata. Prova med en annan modell.","composer.imageUploadFailed":"Det gick inte att ladda upp bilden","composer.includeIdeContextDropdown":"Inkludera IDE-kontext","composer.includeIdeContextDropdown.ariaLabel":"Inkludera IDE-kontext","composer.localCwdDropdown.addWorkspaceRoot":"Lägg till nytt projekt","composer.localCwdDropdown.noActiveRoot":"Välj ditt projekt","composer.localCwdDropdown.noResults":"Inga mappar hittades","composer.localCwdDropdown.title":"Välj ditt projekt","composer.localTaskError":"Fel när samtal skulle inledas","composer.mcpSlashCommand.description":"Visa MCP-serverstatus","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Ej autentiserad","composer.mcpStatus.authOauth":"Autentiserad (OAuth)","composer.mcpStatus.authToken":"Autentiserad (API-nyckel)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Stäng","composer.mcpStatus.disabled":"Inaktiverade","composer.mcpStatus.emptyLabel":"Servrar:","composer.mcpStatus.emptyValue":"Inga MCP-servrar har konfigurerats","composer.mcpStatus.enabled":"Aktiverad","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Det gick inte att ladda MCP-status","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Byt läge","composer.mode.agentMode.custom":"Anpassad","composer.mode.agentMode.custom.dropdownLabel":"Anpassad","composer.mode.agentMode.custom.option":"Anpassad (config.toml)","composer.mode.agentMode.custom.optionLabel":"Anpassad (config.toml)","composer.mode.agentMode.customInfo.cancel":"Avbryt","composer.mode.agentMode.customInfo.cli":"Du kan justera dessa inställningar från CLI eller genom att redigera filen direkt.","composer.mode.agentMode.customInfo.confirm":"Använd anpassat läge","composer.mode.agentMode.customInfo.description":"I anpassat läge tillämpas de godkännande- och sandlådepolicyer som definierats i <link>config.toml</link>-filen.","composer.mode.agentMode.customInfo.docs":"Läs mer om att konfigurera godkännande- och sandlådepolicyer i <link>dokumentationen om exekveringsmiljö</link>.","composer.mode.agentMode.customInfo.refresh":"Alla ändringar börjar gälla nästa gång agenten körs.","composer.mode.agentMode.customInfo.title":"Så fungerar anpassat läge","composer.mode.agentMode.fullAccess":"Agent (full åtkomst)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (full åtkomst)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (full åtkomst)","composer.mode.agentMode.fullAccessConfirm.caution":"Var försiktig med att tillåta full åtkomst. Det innebär en betydligt större risk för förlust av data, dataläckor eller oförutsett beteende.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ja, fortsätt ändå","composer.mode.agentMode.fullAccessConfirm.description":"När Codex körs med full åtkomst kan alla filer på din dator redigeras och kommandon köras utan ditt godkännande.","composer.mode.agentMode.fullAccessConfirm.goBack":"Avbryt","composer.mode.agentMode.fullAccessConfirm.title":"Tillåt full åtkomst?","composer.mode.agentMode.readOnly":"Chatt","composer.mode.agentMode.readOnly.dropdownLabel":"Chatt","composer.mode.agentMode.readOnly.optionLabel":"Chatt","composer.mode.agentMode.tooltip":"Byt läge","composer.mode.agentMode.tooltip.auto":"Läs och redigera filer, och kör kommandon.","composer.mode.agentMode.tooltip.custom":"Använd de senaste godkännande- och sandlådepolicyerna som definieras i config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex kan redigera filer utanför projektet och köra kommandon med nätverksåtkomst. Använd med försiktighet.","composer.mode.agentMode.tooltip.readOnly":"Kräver godkännande för att redigera filer och köra kommandon.","composer.mode.cloud.tooltip":"Arbeta i en molnmiljö","composer.mode.contactAdmin":"Kontakta administratören för att få mer åtkomst","composer.mode.local":"Lokalt","composer.mode.local.learnMore":"Läs mer","composer.mode.local.model.custom":"Anpassad","composer.mode.local.model.loadingModel":"Laddar modell","composer.mode.local.model.selecrReasoningEffort":"Välj resonemang","composer.mode.local.model.selectModel":"Välj modell","composer.mode.local.model.tooltip":"Välj modell","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Hög","composer.mode.local.reasoning.low.label":"Låg","composer.mode.local.reasoning.medium.label":"Medel","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Ingen","composer.mode.local.reasoning.xhigh.label":"Extra hög","composer.mode.localRemoteWhereRun":"Välj var uppgiften ska köras","composer.mode.newTask.header":"Fortsätt i","composer.mode.rateLimit.day":"{days} dag","composer.mode.rateLimit.heading":"Återstående frekvensgränser","composer.mode.rateLimit.hour":"{hours} tim","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"{modelName}-gräns:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {veckovis gräns} other {{weeks}-veckors gräns}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Veckovis} other {{weeks}-veckors}}","composer.mode.remote.connectToCloud":"Anslut Codex-webb","composer.mode.remote.connectToCloudDisabledTooltip":"Konfigurera en miljö via Codex-webb för att kunna skicka uppgifter till molnet","composer.mode.remote.selectEnvironment":"Välj miljö","composer.mode.remote.sendToCloud":"Skicka till molnet","composer.mode.remote.setupViaWeb":"Konfigurera en miljö via Codex-webb","composer.mode.runInCloud":"Moln","composer.mode.runInCloudWithEnvironment":"Moln · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Arbeta i molnmiljö","composer.mode.segmentedToggle.local.tooltip":"Arbeta i ditt lokala projekt","composer.mode.segmentedToggle.worktree.tooltip":"Arbeta i ett parallellt arbetsträd","composer.mode.upgradeToPlus":"Uppgradera till Plus","composer.mode.upgradeToPro":"Uppgradera till Pro","composer.mode.workLocally":"Lokalt projekt","composer.mode.workLocally.currentBranchFallback":"din gren","composer.mode.workLocally.tooltip":"Arbeta på {branchName}","composer.mode.worktree":"Nytt arbetsträd","composer.mode.worktree.submoduleWarning":"Detta kodförråd har git-undermoduler. Det kanske inte går att skapa arbetsträd","composer.mode.worktree.tooltip":"Skapa en kopia av ditt lokala projekt för att arbeta parallellt","composer.mode.worktreeSegment":"Arbetsträd","composer.modelChangeDuringConversationWarning.toast":"Du får sämre resultat om du byter modell mitt i ett samtal.","composer.newChat.heading.browser":"Vad ska vi koda nu?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex använder de behörigheter som definieras i config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex har fullständig åtkomst till din dator (förhöjd risk)","composer.permissionsDropdown.custom.label":"Anpassad (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Anpassad (config.toml)","composer.permissionsDropdown.default.label":"Standardbehörigheter","composer.permissionsDropdown.default.optionLabel":"Standardbehörigheter","composer.permissionsDropdown.default.tooltip":"Codex kör automatiskt kommandon i en sandlåda","composer.permissionsDropdown.disabled.requirements":"Behörigheter är låsta av requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Full åtkomst är inaktiverat på grund av requirements.toml","composer.permissionsDropdown.fullAccess.label":"Full åtkomst","composer.permissionsDropdown.fullAccess.optionLabel":"Full åtkomst","composer.permissionsDropdown.trigger.tooltip":"Ändra behörigheter","composer.personalitySlashCommand.description.friendly":"Varm, samarbetsvillig och hjälpsam","composer.personalitySlashCommand.description.pragmatic":"Kortfattad, uppgiftsfokuserad och direkt","composer.personalitySlashCommand.label.friendly":"Vänskaplig","composer.personalitySlashCommand.label.pragmatic":"Pragmatisk","composer.personalitySlashCommand.notApplicableSuffix":"(Gäller inte nuvarande modell)","composer.personalitySlashCommand.title":"Personlighet","composer.placeholder.cloudFollowUp.directFollowUp":"Uppföljning på denna molnuppgift","composer.placeholder.cloudFollowUp.local":"Skapa en ny lokal uppgift som hänvisar till denna molnuppgift","composer.placeholder.cloudFollowUp.workingTree":"Skapa en ny molnuppgift som innefattar din aktuella kod och hänvisar till denna uppgift","composer.placeholder.localFollowUp.cloud":"Uppföljning i en ny molnuppgift","composer.placeholder.localFollowUp.locally":"Be om uppföljningsändringar","composer.placeholder.newTask.cloud":"Be Codex att göra något i molnet","composer.placeholder.newTask.doAnything":"Be Codex att göra något","composer.placeholder.newTask.locally":"Fråga Codex vad som helst, @ för att lägga till filer, / för kommandon","composer.planModeDropdown":"Planläge","composer.planModeDropdown.ariaLabel":"Planläge","composer.planModeIndicator":"Abonnemang","composer.planModeIndicator.hintShortcut":"cmd + skift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Skapa en plan med Codex","composer.planModeIndicator.tooltipToggle":"för att växla","composer.planSlashCommand.disableDescription":"Stäng av planläge","composer.planSlashCommand.enableDescription":"Sätt på planläge","composer.planSlashCommand.title":"Planläge","composer.priorContext.label":"Föregående kontext","composer.priorContext.removeAriaLabel":"Ta bort föregående kontext","composer.queuedMessage.delete":"Radera köat meddelande","composer.queuedMessage.edit":"Redigera meddelande","composer.queuedMessage.more":"Åtgärder för köat meddelande","composer.queuedMessage.sendNow":"Styr","composer.queuedMessage.sendNowTooltip":"Skicka nu utan att störa arbetet","composer.queuedMessage.turnOff":"Stäng av kö","composer.reasoningEffort.local.reasoning.tooltip":"Välj resonemangsnivå","composer.remote.branchStartingPoint":"Vilken gren ska den här uppgiften starta från?","composer.remote.branchesSectionHeading":"Förgreningar","composer.remote.currentEditsSuffix.followUp":"Skapa en ny uppgift som hänvisar till denna molnuppgift.","composer.remote.currentEditsSuffix.useLocal":"med lokala kodändringar","composer.remote.directFollowUp":"Använd inte lokala ändringar","composer.remote.errorLoadingBranches":"Ett fel uppstod när grenar skulle laddas","composer.remote.fromBranch":"Från {branch}","composer.remote.fromCurrentBranch":"Från {branch} (aktuell)","composer.remote.loadingMoreBranches":"Laddar…","composer.remote.localFileStateHeading":"Tillstånd för lokal fil","composer.remote.localWorkingTree":"Använd lokala ändringar","composer.remote.startingPoint":"Vilken kod ska den här uppgiften starta från?","composer.reviewMode.branches.error":"Det gick inte att ladda grenar","composer.reviewMode.branches.retry":"Försök igen","composer.reviewMode.gitRoot.error":"Git-rot hittades inte","composer.reviewMode.option.baseBranch.simple":"Granska gentemot en huvudgren","composer.reviewMode.option.unstaged.simple":"Granska icke-överlämnade ändringar","composer.reviewMode.quickReviewError":"Det gick inte att starta kodgranskning.","composer.reviewMode.title":"Granska kod","composer.sandboxButton.unlock.disabled.tooltip":"Full åtkomst är inaktiverat på grund av requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex kan använda en experimentell sandlåda i Windows för att begränsa åtkomst till filsystem och nätverk. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Aktivera Windows-sandlåda?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Använd skrivskyddat läge","composer.searchEnvironments":"Sök efter miljöer","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Laddar färdigheter …","composer.skillMentionList.noResults":"Inga färdigheter hittades","composer.slashCommands.cloudEnvironment.title":"Molnmiljö","composer.slashCommands.dialogLabel":"Meny för slash-kommandon","composer.slashCommands.dialogTitle":"Slash-kommandon","composer.slashCommands.disabledTooltip":"Inled ett nytt samtal för att använda slash-kommandon","composer.slashCommands.inputPlaceholder":"Sök","composer.slashCommands.noResults":"Inga kommandon","composer.slashCommands.skillsGroup":"Färdigheter","composer.slashCommands.tooltip":"Bläddra bland slash-kommandon","composer.status.close":"Stäng","composer.statusPlain.alertLabel":"Varning:","composer.statusPlain.alertValue":"{remaining} % kvar av {window}","composer.statusPlain.contextLabel":"Kontext:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} använda/{total})","composer.statusPlain.contextValueRemaining":"{remaining} % kvar","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName}-gräns:","composer.statusPlain.rateLimitDays":"Gräns för {count} d","composer.statusPlain.rateLimitFallbackLabel":"Frekvensgräns:","composer.statusPlain.rateLimitHours":"Gräns för {count} tim","composer.statusPlain.rateLimitLabelBase":"Frekvensgräns","composer.statusPlain.rateLimitMinutes":"Gräns för {count} min","composer.statusPlain.rateLimitPercent":"{remaining} % kvar","composer.statusPlain.rateLimitReset":"återställs {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"tid för återställning ej tillgänglig","composer.statusPlain.rateLimitUnavailable":"Ej tillgänglig","composer.statusPlain.sessionCopiedAriaLabel":"Sessions-ID har kopierats","composer.statusPlain.sessionCopiedTooltip":"ID har kopierats","composer.statusPlain.sessionCopyAriaLabel":"Kopiera sessions-ID","composer.statusPlain.sessionCopyTooltip":"Kopiera ID","composer.statusPlain.sessionLabel":"Session:","composer.statusSlashCommand.description":"Visa tråd-ID, kontextanvändning och frekvensgränser","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Det gick inte att skicka meddelandet","composer.submit.emptyMessage":"Ange ett meddelande för att komma igång","composer.submit.imageInputsUnsupported":"Ta bort bilder eller byt modell för att skicka det här meddelandet.","composer.submit.loadingLocalConfig":"Laddar…","composer.submit.missingCloudConfig":"Du måste välja en molnmiljö","composer.submit.missingCloudTurn":"Det går inte att göra en uppföljning på den här uppgiften","composer.submit.noWorkspace":"Lägg till ett projekt för att använda Codex","composer.submit.waitForImageUploads":"Bilderna laddas upp …","composer.submitButtonTooltip.send":"Skicka","composer.submitButtonTooltip.stop":"Stoppa","composer.worktreeEnvironment.create":"Skapa lokal miljö","composer.worktreeEnvironment.default":"Standardmiljö","composer.worktreeEnvironment.error":"Ett fel uppstod när miljöer skulle laddas","composer.worktreeEnvironment.loading":"Laddar miljöer …","composer.worktreeEnvironment.title":"Lokal miljö","composer.worktreeEnvironment.tooltip":"Välj en lokal miljö","composer.worktreeSetupFailed":"Det gick inte att konfigurera arbetsträdet. Du hittar ett konfigurationsskript i .codex/environments","compoundButton.secondaryAction":"Sekundär åtgärd","copyButton.copied":"Kopierat","copyButton.copiedAriaLabel":"Kopierat","copyButton.copy":"Kopiera","copyButton.copyAriaLabel":"Kopiera","copyButton.copyCode":"Kopiera kod","diff.actionButton.revertFile":"Återställ fil","diff.actionButton.revertHunk":"Ångra","diff.actionButton.revertSection":"Återställ alla","diff.actionButton.revertSectionLabel":"Återställ alla","diff.actionButton.stageFile":"Staga fil","diff.actionButton.stageHunk":"Staga","diff.actionButton.stageSection":"Staga alla","diff.actionButton.stageSectionLabel":"Staga alla","diff.actionButton.unstageFile":"Avstaga fil","diff.actionButton.unstageHunk":"Avstaga","diff.actionButton.unstageSection":"Avstaga alla","diff.actionButton.unstageSectionLabel":"Avstaga alla","diff.fileHeader.toggle":"Växla diff för fil","electron.onboarding.login.apikey.cancel":"Avbryt","electron.onboarding.login.apikey.continue":"Fortsätt","electron.onboarding.login.apikey.label":"API-nyckel för OpenAI","electron.onboarding.login.apikey.open":"Ange API-nyckel","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Avbryt inloggning","electron.onboarding.login.chatgpt.continue":"Fortsätt med ChatGPT","electron.onboarding.login.devbox":"Anslut till en fjärr-SSH","electron.onboarding.login.error":"Inloggningen misslyckades: {rawMessage}","electron.onboarding.login.snake.start":"Spela Snake","electron.onboarding.login.sshConfig.cancel":"Avbryt","electron.onboarding.login.sshConfig.continue":"Fortsätt","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Det bästa sättet att bygga med agenter","electron.onboarding.login.title":"Välkommen till Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Fortsätt","electron.onboarding.welcome.doubleLimits.description":"För att fira lanseringen av Codex-appen får du dubbelt så höga frekvensgränser fram till den 2 april.","electron.onboarding.welcome.freego.description":"Codex ingår i ditt abonnemang utan kostnad fram till den 2 mars – nu bygger vi tillsammans.","electron.onboarding.welcome.new.title.anon":"Välkommen!","electron.onboarding.workspace.continue":"Fortsätt","electron.onboarding.workspace.empty":"Lägg till ett projekt för att fortsätta.","electron.onboarding.workspace.listLabel":"Tillgängliga projekt","electron.onboarding.workspace.loading":"Laddar projekt …","electron.onboarding.workspace.openFolder":"Lägg till projekt","electron.onboarding.workspace.selectAll":"Markera allt","electron.onboarding.workspace.skip":"Hoppa över","electron.onboarding.workspace.skip.error":"Det gick inte att skapa ett nytt projekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Okänt fel","electron.onboarding.workspace.skipping":"Skapar ett nytt projekt …","electron.onboarding.workspace.subtitle":"Codex kommer att kunna redigera filer och köra kommandon i markerade mappar.","electron.onboarding.workspace.title":"Välj ett projekt","errorPage.list.checkSettings":"Prova att uppdatera dina IDE-inställningar","errorPage.list.configToml":"Se om det finns ogiltiga inställningar i config.toml","errorPage.list.downloadExtension":"Prova att ladda ner en annan version av tillägget","errorPage.list.runInWsl":"Kontrollera dina inställningar och inaktivera körning i WSL om du har problem med kompatibilitet","execApprovalRequest.menu.runAlways":"Ja, och fråga inte igen under den här sessionen","execApprovalRequest.menu.runAlwaysWithAmendment":"Ja, och fråga inte igen för kommandon som börjar med {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ja, och fråga inte igen för kommandon som börjar med","execApprovalRequest.menu.runOnce":"Ja","execApprovalRequest.prompt":"Vill du köra detta kommando?","execApprovalRequest.reject":"Nej","execFooter.exitCode":"Avslutningskod {code}","execFooter.exitCode.unknown":"okänd","execFooter.success":"Klart","feedback.dialog.category.badResult":"Dåligt resultat","feedback.dialog.category.bug":"Fel","feedback.dialog.category.goodResult":"Bra resultat","feedback.dialog.category.other":"Annan","feedback.dialog.descriptionPlaceholder":"Beskriv problemet här","feedback.dialog.dismiss":"Stäng","feedback.dialog.includeLogsLabel":"Inkludera loggar från aktuell Codex-session","feedback.dialog.submit":"Skicka","feedback.dialog.submitError":"Det gick inte att skicka in din feedback. Försök igen om en liten stund.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"befintligt öppet ärende","feedback.dialog.uploadedMessage.openIssue":"öppna ett GitHub-ärende","feedback.dialog.uploadedMessage.withThread":"Feedback har laddats upp. Du kan {openIssueLink} eller nämna trådens ID i en {existingIssueLink} om problemet kvarstår:","feedback.dialog.uploadedTitle":"Feedback har laddats upp.","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Ta bort {filename}","header.back":"Tillbaka","header.recentChats":"Uppgifter","header.recentTasks.seeAll":"Visa alla ({total})","home.header.getPlus":"Skaffa Plus","home.hero.letsBuild":"Nu bygger vi","homePage.mainContent":"Huvudinnehåll","imageAttachment.defaultName":"bild","imageAttachment.preview.close":"Stäng förhandsgranskning av bild","imageAttachment.removeAriaLabel":"Ta bort {filename}","implementPlanRequest.option.implement":"Ja, implementera den här planen","implementPlanRequest.prompt":"Implementera den här planen?","inbox.archived.deleteError":"Det gick inte att radera arkiverad körning","inbox.archived.deleteRun":"Radera arkiverad körning","inbox.archived.deleteSuccess":"Arkiverad tråd har raderats. Visa i <settingsLink>Arkiverade trådar</settingsLink>.","inbox.archived.inlineLabel.auto":"Den här tråden arkiverades automatiskt. <learnMoreLink>Läs mer</learnMoreLink>","inbox.archived.inlineLabel.manual":"Den här tråden har arkiverats.","inbox.archived.noMessageFound":"Inga meddelanden hittades","inbox.automations.createError":"Det gick inte att skapa automatisering","inbox.automations.deleteConfirm.cancel":"Avbryt","inbox.automations.deleteConfirm.confirm":"Radera automatisering","inbox.automations.deleteConfirm.description":"Detta raderar automatiseringen permanent och stoppar alla framtida körningar.","inbox.automations.deleteConfirm.title":"Radera {name}?","inbox.automations.deleteError":"Det gick inte att radera automatiseringen","inbox.automations.editTooltip":"Redigera automatisering","inbox.automations.inProgress":"Pågående","inbox.automations.new":"Ny","inbox.automations.newToolbar":"Ny automatisering","inbox.automations.pauseTooltip":"Pausa automatisering","inbox.automations.resumeTooltip":"Återuppta automatisering","inbox.automations.startingNow":"Startar nu","inbox.automations.startsIn":"Startar om {startTime}","inbox.automations.status.active":"Aktiv","inbox.automations.status.paused":"Pausad","inbox.automations.status.runs":"{count} körningar","inbox.automations.status.started":"Påbörjades {date}","inbox.automations.updateError":"Det gick inte att uppdatera automatiseringen","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Alla","inbox.filter.ariaLabel":"Filtrera objekt i inkorgen","inbox.filter.unread":"Olästa","inbox.list.archived":"Arkiverat","inbox.list.inProgress":"Pågående","inbox.list.recent":"Avslutade","inbox.list.upNext":"Schemalagda","inbox.mode.automations":"Automatiseringar","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Det finns ingen beskrivning","inbox.openThread":"Öppna tråd","inbox.rightPanel.emptySubtitle":"Automatisera arbetet genom att ställa in schemalagda uppgifter","inbox.rightPanel.emptySubtitle.learnMore":"Automatisera arbetet genom att ställa in schemalagda trådar. <link>Läs mer</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktiv automatisering} other {# aktiva automatiseringar}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Inga olästa automatiseringar","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# oläst automatisering} other {# olästa automatiseringar}}","inbox.rightPanel.emptyTitle":"Inget objekt har valts","inbox.rightPanel.noThread":"Objektet har ingen tråd","inbox.rightPanel.quickStart.header":"Börja med en mall","inbox.untitled":"Inkorgsobjekt utan titel","loadingPage.documentationLink":"dokumentation","loadingPage.errorDescription":"Codex kraschade med följande fel:","loadingPage.errorDescription.documentation":"Klicka på Läs in på nytt för att starta om Codex-tillägget eller gå till vår {documentationLink} för mer hjälp.","loadingPage.errorSignal":"Några steg du kan prova:","loadingPage.errorTitle":"Det har uppstått ett fel","loadingPage.openConfigToml":"Öppna Config.toml","loadingPage.reload":"Läs in på nytt","localConversation.contextCompacted":"Kontexten har komprimerats automatiskt","localConversation.contextCompacting":"Komprimerar kontext automatiskt","localConversation.forkedFromConversation":"Kopierad från {threadTitle}","localConversation.merge.autoResolve.failed":"Det gick inte att begära automatisk lösning: {error}","localConversation.merge.autoResolve.sent":"Begäran om automatisk lösning har skickats","localConversation.merge.autoResolveMerge.missingConversation":"Det går inte att lösa automatiskt utan ett aktivt samtal.","localConversation.merge.autoResolveMerge.request":"Lös sammanfogningskonflikterna automatiskt","localConversation.modelChanged":"Modellen har ändrats från {fromModel} till {toModel}.","localConversation.modelChanged.warning.line1":"Du får sämre resultat om du byter modell mitt i ett samtal.","localConversation.modelChanged.warning.line2":"Kontexten kan komma att komprimeras automatiskt.","localConversation.moveThread.createBranch.label":"Skapa gren","localConversation.moveToLocal.disabled.loading":"Laddar…","localConversation.moveToLocal.modal.continue":"Fortsätt","localConversation.moveToLocal.modal.destinationLabel":"Flytta till","localConversation.moveToLocal.modal.retry":"Försök igen","localConversation.moveToWorktree.modal.back":"Tillbaka","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Grenen finns redan.","localConversation.moveToWorktree.modal.branchesError":"Det gick inte att ladda grenar","localConversation.moveToWorktree.modal.branchesLoading":"Laddar grenar …","localConversation.moveToWorktree.modal.branchesRetry":"Försök igen","localConversation.moveToWorktree.modal.continue":"Fortsätt","localConversation.moveToWorktree.modal.retry":"Försök igen","localConversation.moveToWorktree.modal.trailingSlashError":"Namn på grenar får inte sluta med ”/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ny-gren","localConversation.personalityChanged":"Bytte till personligheten {personality}","localConversation.planSummary.collapse":"Dölj sammanfattning av abonnemang","localConversation.planSummary.collapseTooltip":"Stäng","localConversation.planSummary.download":"Ladda ner plan","localConversation.planSummary.expand":"Visa sammanfattning av abonnemang","localConversation.planSummary.expandTooltip":"Expandera","localConversation.planSummary.openInNewWindow":"Öppna","localConversation.planSummary.openInNewWindow.tooltip":"Öppna i nytt fönster","localConversation.planSummary.title":"Abonnemang","localConversation.planSummary.titleWriting":"Skriver plan","localConversation.planSummary.viewPlan":"Visa abonnemang","localConversation.remoteTaskCreated":"Skapade {taskLink} i Codex Cloud","localConversation.remoteTaskCreated.task":"uppgift","localConversation.scrollToBottomButton":"Gå längst ner","localConversation.sync.buttonLabel":"Överför till lokal","localConversation.sync.buttonLabel.tooltip":"Överför ändringar mellan detta arbetsträd och din lokala utcheckning.","localConversation.sync.modal.loading.title":"Överför ändringar …","localConversation.sync.modal.noChanges":"Inga ändringar","localConversation.syncSetup.branchAriaLabel":"Grenens namn","localConversation.syncSetup.branchName":"Grenens namn","localConversation.syncSetup.branchPlaceholder.existing":"Välj befintlig gren","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Laddar grenar …","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Redan utcheckad","localConversation.syncSetup.checkoutClean":"För närvarande på {branchName}","localConversation.syncSetup.checkoutDirty":"För närvarande på {branchName} med icke-överlämnade ändringar","localConversation.syncSetup.checkoutError":"Det gick inte att checka ut grenen: {message}","localConversation.syncSetup.checkoutLabel":"Checka ut lokalt nu","localConversation.syncSetup.checkoutOnLocal":"Överför till lokal","localConversation.syncSetup.checkoutPending":"Kontrollerar lokal status …","localConversation.syncSetup.checkoutUnavailable":"Lokal arbetsyta är inte tillgänglig","localConversation.syncSetup.checkoutUnknown":"Lokal gren är inte tillgänglig","localConversation.syncSetup.continue":"Fortsätt","localConversation.syncSetup.createBranchError":"Det gick inte att ställa in överföringsgren: {message}","localConversation.syncSetup.error":"Något gick fel: {message}","localConversation.syncSetup.error.workingTreeMissing":"Det gick inte att ta en ögonblicksbild av arbetsträdet. Prova att överföra igen.","localConversation.syncSetup.mode.ariaLabel":"Välj läge för gren","localConversation.syncSetup.mode.existing":"Befintlig gren","localConversation.syncSetup.mode.new":"Ny gren","localConversation.syncSetup.noBranches":"Inga grenar hittades","localConversation.syncSetup.overwriteError":"Grenen har skapats men är inte helt och hållet överförd. Överför manuellt före utcheckning lokalt.","localConversation.syncSetup.setPrefix":"Ange prefix","localConversation.syncSetup.subtitle":"Testa och redigera ändringar av arbetsträdet lokalt <a>Läs mer</a>","localConversation.syncSetup.success.checkedOut":"Grenen har skapats och har checkats ut lokalt","localConversation.syncSetup.success.notCheckedOut":"Gren har skapats","localConversation.syncSetup.title":"Överför till en lokal gren","localConversation.syncWorktreeError.branchAriaLabel":"Grenens namn","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Välj en gren att överföra till och prova sedan att ladda ändringarna igen.","localConversation.syncWorktreeError.branchSetup.title":"Uppdatera gren","localConversation.syncWorktreeError.branchUpdate.cta":"Uppdatera och försök igen","localConversation.syncWorktreeError.branchUpdate.error":"Det gick inte att uppdatera gren: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Något gick fel: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Grenen är inte utcheckad i något arbetsträd.","localConversation.syncWorktreeV2.applyUncommitted":"Tillämpa","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Du måste check ut grenen lokalt för att tillämpa icke-överlämnade ändringar","localConversation.syncWorktreeV2.branches.empty":"Inga grenar hittades","localConversation.syncWorktreeV2.branches.loading":"Laddar grenar …","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Ändra överföringsgren","localConversation.syncWorktreeV2.changeBranch.error":"Det gick inte att ändra överföringsgren: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Tillämpning misslyckades","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Det gick inte att skriva över arbetsträdet","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Det gick inte att skriva över lokal","localConversation.syncWorktreeV2.commandError.back":"Tillbaka","localConversation.syncWorktreeV2.commandError.body":"Ett Git-kommando misslyckades vid överföring. Granska utdata och försök igen.","localConversation.syncWorktreeV2.commandError.retry":"Försök igen","localConversation.syncWorktreeV2.description":"Överföringsändringar mellan lokal och detta arbetsträd <a>Läs mer</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Välj riktning för överföring","localConversation.syncWorktreeV2.error.generic":"Något gick fel under överföringen. Försök igen.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalt","localConversation.syncWorktreeV2.noChanges":"Beräknar ändringar","localConversation.syncWorktreeV2.noChanges.summary":"Inga ändringar","localConversation.syncWorktreeV2.overwrite.local":"Skriv över lokala ändringar","localConversation.syncWorktreeV2.overwrite.worktree":"Skriv över arbetsträdets ändringar","localConversation.syncWorktreeV2.partial.action.applyFailed":"Det gick inte att tillämpa ändringar","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Det gick inte att skriva över lokala ändringar","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Det gick inte att skriva över arbetsträdets ändringar","localConversation.syncWorktreeV2.partial.appliedLabel":"Tillämpas","localConversation.syncWorktreeV2.partial.back":"Tillbaka","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Åtgärda konflikter och försök igen.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikter","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fil} other {# filer}}","localConversation.syncWorktreeV2.partial.retry":"Försök igen","localConversation.syncWorktreeV2.partial.skippedLabel":"Hoppades över","localConversation.syncWorktreeV2.stateFailed.generic":"Något gick fel när arbetsträdets ändringar skulle hämtas till överföring. Försök igen.","localConversation.syncWorktreeV2.stateFailed.title":"Det gick inte att ladda arbetsträdet ändringar","localConversation.syncWorktreeV2.statusError.diffUnknown":"Det gick inte att ladda arbetsträdets ändringar.","localConversation.syncWorktreeV2.statusError.retry":"Försök igen","localConversation.syncWorktreeV2.statusError.title":"Det gick inte att ladda ändringar för lokal gren","localConversation.syncWorktreeV2.statusError.unknown":"Grenens status är inte tillgänglig just nu. Försök igen.","localConversation.syncWorktreeV2.success.apply":"Ändringarna har tillämpats","localConversation.syncWorktreeV2.success.overwrite":"Överföringen genomfördes","localConversation.syncWorktreeV2.title":"Överför ändringar","localConversation.syncWorktreeV2.worktreeLabel":"Arbetsträd","localConversation.userInputRequest.inProgress":"Ställer {count, plural, one {fråga} other {frågor}}","localConversation.userInputRequest.noAnswer":"Inget svar har angetts","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Ställde","localConversation.userInputRequest.summary.count":"{count, plural, one {# fråga} other {# frågor}}","localConversation.workedFor":"Arbetade i {time}","localConversation.worktreeBranchSetup.action.create":"Skapa","localConversation.worktreeBranchSetup.branchAriaLabel":"Grenens namn","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Skapa en ny gren","localConversation.worktreeBranchSetup.checkoutDisabled":"Den här grenen har redan checkats ut på {location}","localConversation.worktreeBranchSetup.checkoutError":"Det gick inte att checka ut grenen: {message}","localConversation.worktreeBranchSetup.createBranchError":"Det gick inte att ange grenen: {message}","localConversation.worktreeBranchSetup.error":"Något gick fel: {message}","localConversation.worktreeBranchSetup.subtitle":"Skapa en gren för att överlämna ändringar, skicka och skapa en hämtningsbegäran från det här arbetsträdet. <a>Läs mer</a>","localConversation.worktreeBranchSetup.title":"Arbeta här","localConversationPage.addWorktreeToSidebar.tooltip":"Spara som ett projekt, så att du kan starta nya trådar från det här arbetsträdet","localConversationPage.addWorktreeToSidebarError":"Det gick inte att lägga till projektet","localConversationPage.commitAndCreatePrModal.errorTitle":"Överlämna och skapa PR misslyckades","localConversationPage.commitAndCreatePrModal.successTitle":"Överlämnade och skapade PR","localConversationPage.commitAndPushModal.errorTitle":"Överlämning och push misslyckades","localConversationPage.commitAndPushModal.successTitle":"Överlämnade och pushade ändringar","localConversationPage.commitCreatePr.open":"Öppna hämtningsbegäran","localConversationPage.commitCreatePr.successTitle":"Skapade PR med dina senaste ändringar","localConversationPage.createBranchButtonLabel":"Gren här","localConversationPage.createPrModal.baseBranch":"Bas","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Skapa PR","localConversationPage.createPrModal.createDescription":"Öppna en hämtningsbegäran för dina senaste ändringar.","localConversationPage.createPrModal.errorTitle":"Hämtningsbegäran misslyckades","localConversationPage.createPrModal.headBranch":"Huvud","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Öppna PR","localConversationPage.createPrModal.successTitle":"Hämtningsbegäran har skapats","localConversationPage.createPrModal.title":"Skapa hämtningsbegäran","localConversationPage.createPrModal.viewDescription":"Det finns redan en hämtningsbegäran för denna gren.","localConversationPage.createPrModal.viewTitle":"Hämtningsbegäran är klar","localConversationPage.createPullRequestAuthGh":"Autentisera GitHub CLI: kör `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Det finns ingen information om grenen","localConversationPage.createPullRequestButtonLabel":"Skapa PR","localConversationPage.createPullRequestButtonLabel.loading":"Skapar PR …","localConversationPage.createPullRequestDefaultBranchMissing":"Det finns ingen information om standardgren","localConversationPage.createPullRequestError":"Det gick inte att skapa hämtningsbegäran","localConversationPage.createPullRequestExistingPullRequest":"Det finns redan en hämtningsbegäran för denna gren","localConversationPage.createPullRequestGhStatusMissing":"Laddar status för GitHub CLI …","localConversationPage.createPullRequestInstallGh":"Installera GitHub CLI (gh) för att skapa PR","localConversationPage.createPullRequestNoRepo":"Inget git-kodförråd hittades","localConversationPage.createPullRequestPushStatusMissing":"Laddar push-status …","localConversationPage.createPullRequestSetUpstream":"Pusha den här grenen innan du skapar en PR","localConversationPage.createPullRequestSuccessToast":"Hämtningsbegäran har skapats","localConversationPage.createPullRequestSwitchBranch":"Checka ut en funktionsgren innan du skapar en PR","localConversationPage.error.render":"Fel när lokalt samtal skulle renderas","localConversationPage.error.toast":"Samtalet hittades inte","localConversationPage.forcePushError":"Det gick inte att tvinga push","localConversationPage.generatePullRequestMessageError":"Det gick inte att generera titel och brödtext för hämtningsbegäran","localConversationPage.generatePullRequestMessageFailed":"Det gick inte att generera titel och brödtext för hämtningsbegäran.","localConversationPage.gitActionResult.branch":"Gren","localConversationPage.gitActionResult.cancel":"Avbryt","localConversationPage.gitActionResult.close":"Stäng","localConversationPage.gitActionResult.tryAgain":"Försök igen","localConversationPage.gitActions":"Git-åtgärder","localConversationPage.newChat":"Ny chatt","localConversationPage.openInTarget":"Öppna i","localConversationPage.openPrimaryTarget":"Öppna","localConversationPage.planItemsCompleted":"{completedItems} av {totalItems, plural, one {# uppgift har slutförts} other {# uppgifter har slutförts}}","localConversationPage.pushAuthError":"Push misslyckades: autentisering krävs","localConversationPage.pushBranchMissing":"Det finns ingen information om grenen","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Skickar …","localConversationPage.pushError":"Det gick inte att pusha ändringarna","localConversationPage.pushModal.branchLabel":"Gren","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Avbryt","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Skicka dina senaste överlämningar till fjärrkodförrådet.","localConversationPage.pushModal.errorTitle":"Push misslyckades","localConversationPage.pushModal.forcePush":"Tvinga push","localConversationPage.pushModal.successTitle":"Push har slutförts","localConversationPage.pushModal.title":"Pusha ändringar","localConversationPage.pushModal.tryAgain":"Försök igen","localConversationPage.pushNoUpstream":"Konfigurera en uppström innan du pushar den här grenen","localConversationPage.pushNoUpstreamError":"Push misslyckades: ingen uppström har konfigurerats","localConversationPage.pushNothingToPush":"Det finns inga nya incheckningar att pusha","localConversationPage.pushRemoteChangedError":"Push misslyckades: fjärr har nya överlämningar","localConversationPage.pushRemoteRejectedError":"Push avvisades av fjärr","localConversationPage.pushStatusMissing":"Laddar push-status …","localConversationPage.pushSuccessToast":"Ändringarna har skickats","localConversationPage.viewPullRequestButtonLabel":"Visa PR","localConversationPage.viewPullRequestButtonLabel.loading":"Laddar hämtningsbegäran …","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fil} other {# filer}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} other {# listor}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# sökning} other {# sökningar}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Utforskar","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Utforskade","localConversationTurn.exploration.accordion.header.complete.withCounts":"Utforskade {counts}","localConversationTurnStory.showContent":"Visa innehåll","localConversationTurnStory.streamContent":"Streama innehåll","localConversationTurnStory.toggleReasoning":"Visa resonemang","localTaskRow.archiveError":"Det gick inte att arkivera samtalet","localTaskRow.resumeError":"Det gick inte att återuppta uppgiften","mermaidDiagram.ariaLabel":"Mermaid-diagram","mermaidDiagram.copySource":"Kopiera mermaid","mermaidDiagram.originalCode":"Mermaid-källkod","notifications.permissions.description":"Visa varningar när aviseringsbehörighet krävs","notifications.permissions.label":"Aktivera behörighetsaviseringar","notifications.turnMode.always":"Alltid","notifications.turnMode.description":"Ange när Codex meddelar dig att det är slutfört","notifications.turnMode.label":"Aviseringar om slutförd vändning","notifications.turnMode.off":"Aldrig","notifications.turnMode.unfocused":"Endast om ej i fokusläge","patchApprovalRequest.approve":"Godkänn","patchApprovalRequest.menu.allowAlways":"Ja, och fråga inte igen under den här sessionen","patchApprovalRequest.menu.allowForSession":"Ja, och fråga inte igen under den här sessionen","patchApprovalRequest.menu.allowOnce":"Ja","patchApprovalRequest.prompt":"Vill du göra dessa ändringar?","patchApprovalRequest.reject":"Nej","patchApprovalRequest.waitingForApproval":"Väntar på godkännande att redigera filer","pendingRequest.approvalExec.collapse":"Stäng","pendingRequest.approvalExec.expand":"Expandera","pendingRequestStory.toastAnswer":"Svar: {answer}","pendingRequestStory.toastApprovalTitle":"Svar på godkännande","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Uppföljning har skickats","pendingRequestStory.toastNoAnswers":"Inga svar har tillhandahållits","pendingRequestStory.toastQuestion":"Fråga: {question}","pendingRequestStory.toastUnknownDecision":"Okänd","pendingRequestStory.toastUserInputTitle":"Svar har skickats","quickAction.request.codeReview.branches.new":"Granska ändringarna i {from} gentemot {to}","quickAction.request.codeReview.uncommitted.new":"Granska mina icke-överlämnade ändringar","reasoningItem.thinking":"Tänker","reasoningItem.thought":"Tänkte","reasoningItem.thoughtWithElapsed":"Tänkte i {elapsed}","recentConversations.title":"Senaste samtal","recentTasks.worktreeInitFailedTitle":"Init för arbetsträd misslyckades","recentTasks.worktreeSettingUpTitle":"Konfigurerar arbetsträd","requestInputPanel.continue":"Fortsätt","requestInputPanel.dismiss":"Stäng","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Skriv här","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nej, och säg vad Codex ska göra annorlunda","requestInputPanel.selectedBadge":"Valda","requestInputPanel.skip":"Hoppa över","requestInputPanel.submit":"Skicka","review.commit.ariaLabel.includeUnstaged":"Inkludera avstagade","review.commit.buttonLabel":"Överlämna","review.commit.disabled.committing":"Överlämnar …","review.commit.disabled.loadingDiff":"Laddar diff …","review.commit.disabled.missingContext":"Lägg till lite kontext för att generera ett överlämningsmeddelande","review.commit.disabled.noChanges":"Inga ändringar att överlämna","review.commit.disabled.noSelection":"Välj ändringar som ska överlämnas","review.commit.disabled.unavailable":"Överlämning är inte tillgängligt just nu","review.commit.error":"Det gick inte att överlämna ändringarna","review.commit.form.changesToBeCommitted":"Ändringar","review.commit.form.commitTo":"Gren","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Fortsätt","review.commit.form.title":"Överlämna dina ändringar","review.commit.generate.emptyResponse":"Det gick inte att generera ett överlämningsmeddelande.","review.commit.generate.failed":"Det gick inte att generera överlämningsmeddelande: {error}","review.commit.generate.missingPrompt":"Lägg till lite kontext för att generera ett överlämningsmeddelande.","review.commit.includeUnstaged":"Inkludera avstagade","review.commit.loading.description":"Vänta lite, det här kan ta en liten stund …","review.commit.loading.step.commit.done":"Överlämnade ändringar","review.commit.loading.step.commit.pending":"Överlämnar ändringar","review.commit.loading.step.createPr.done":"Skapade en hämtningsbegäran","review.commit.loading.step.createPr.pending":"Skapar en hämtningsbegäran","review.commit.loading.step.push.done":"Pushades till gren {branch}","review.commit.loading.step.push.pending":"Pushar till gren {branch}","review.commit.loading.title.commit":"Överlämnar ändringar","review.commit.loading.title.createPr":"Skapar en hämtningsbegäran","review.commit.loading.title.push":"Pushar ändringar","review.commit.messageLabel":"Meddelande för överlämning","review.commit.messagePlaceholder":"Lämna tomt för att generera ett överlämningsmeddelande automatiskt","review.commit.nextSteps":"Nästa steg","review.commit.nextSteps.commit":"Överlämna","review.commit.nextSteps.commitAndCreate":"Överlämna och skapa PR","review.commit.nextSteps.commitAndPush":"Överlämna och pusha","review.commit.nextSteps.prRequiresGh":"Kräver GitHub CLI: {command}","review.commit.rows.changes":"Ändringar","review.commit.rows.commitCount":"{count, plural, one {# överlämning} other {# överlämningar}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# överlämning} other {# överlämningar}} och {stats}","review.commit.rows.fileCount":"{count, plural, one {# fil} other {# filer}}","review.commit.state.error.body":"Något gick fel under överlämning. Kontrollera din git-status och försök igen","review.commit.state.error.title":"Överlämningen misslyckades","review.commit.state.success.title":"Ändringar har överlämnats","review.commit.untracked.loadingStats":"Laddar icke-spårad diff-statistik …","reviewFindingAttachments.count":"{count, plural, one {# resultat} other {# resultat}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Redigera config för att anpassa agentens beteende","settings.agent.configuration.configToml.docs":"Dokument","settings.agent.configuration.configToml.restartNote":"Starta om Codex efter redigering för att tillämpa ändringarna","settings.agent.configuration.subtitle":"Dessa inställningar gäller överallt där Codex används","settings.automations.banner.danger":"Automatiseringar körs med dina standardinställningar för sandlådan, och de är för närvarande är inställda på Full åtkomst. Att köra automatiseringar i bakgrunden med Full åtkomst innebär högre risk, eftersom Codex kan ändra filer, köra kommandon och komma åt nätverk utan att fråga. Överväg att ändra sandlådans inställningar till skrivåtkomst för arbetsyta och använda <rulesDocsLink>regler</rulesDocsLink> för att selektivt ange vilka kommandon agenten får köra med full åtkomst.","settings.automations.banner.defaultHowTo.default":"Automatiseringar körs med dina standardinställningar för sandlådan. Verktygsanrop misslyckas om de måste modifiera filer utanför arbetsytan, komma åt nätverk eller arbeta med appar på din dator. Du kan selektivt frilista kommandon som får köras utanför sandlådan med hjälp av <rulesDocsLink>regler</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatiseringar körs med dina standardinställningar för sandlådan. Dessa är inställda på skrivskyddat läge. Verktygsanrop misslyckas om de kräver modifiering av filer, åtkomst till nätverk eller arbete med appar på din dator. Överväg att uppdatera inställningarna för sandlådan till skrivåtkomst för arbetsyta.","settings.automations.cancel":"Avbryt","settings.automations.create":"Skapa","settings.automations.cwdEmpty":"Inga projektmappar är tillgängliga","settings.automations.cwdLabel":"Projekt","settings.automations.cwdPlaceholder":"Välj en mapp","settings.automations.cwdSubtitle":"Om du vill att en automatisering ska köras på en specifik gren kan du ange den i din prompt.","settings.automations.delete":"Radera","settings.automations.dialog.editTitle":"Redigera automatisering","settings.automations.dialog.newTitle":"Ny automatisering","settings.automations.dialog.subtitle":"Automatisera återkommande uppgifter i bakgrunden. Codex lägger till resultat i inkorgen, eller arkiverar uppgiften automatiskt om det inte finns något att rapportera. <learnMoreLink>Läs mer</learnMoreLink>","settings.automations.dialog.title":"Skapa automatisering","settings.automations.executionCopy.git":"Automatiseringar körs i bakgrunden på särskilda arbetsträd.","settings.automations.executionCopy.nonGit":"Automatiseringar i projekt utan versionskontroll körs direkt i projektkatalogen. Överväg att använda Git för att aktivera körning på arbetsträd i bakgrunden.","settings.automations.executionEnvironment.local":"Lokalt","settings.automations.executionEnvironment.worktree":"Arbetsträd","settings.automations.loading":"Laddar…","settings.automations.nameLabel":"Namn","settings.automations.namePlaceholder":"Sök efter sentry-problem","settings.automations.pause":"Pausa","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"sök efter krascher i $Sentry","settings.automations.resume":"Återuppta","settings.automations.rruleSummaryFallback":"Anpassat schema","settings.automations.runNow":"Testa","settings.automations.save":"Spara","settings.automations.scheduleBadge.dayCount":"{count} dag","settings.automations.scheduleBadge.interval":"{count} tim","settings.automations.scheduleBadge.weekdays":"Vardagar","settings.automations.scheduleBadge.weekends":"Helger","settings.automations.scheduleHeader":"Schemalägg","settings.automations.scheduleHours":"timmar","settings.automations.scheduleLabel":"Kör varje","settings.automations.scheduleMode.daily":"Dagligen","settings.automations.scheduleMode.interval":"Intervall","settings.automations.scheduleModeLabel":"Schematyp","settings.automations.scheduleSummary.daily":"Dagligen kl. {time}","settings.automations.scheduleSummary.interval":"Var {count} tim","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dag} other {# dagar}}","settings.automations.scheduleSummary.intervalDays":"{interval} på {days}","settings.automations.scheduleSummary.intervalHourly":"Timvis","settings.automations.scheduleSummary.singleDay":"{day} kl. {time}","settings.automations.scheduleSummary.weekdays":"Vardagar kl. {time}","settings.automations.scheduleSummary.weekdaysLabel":"vardagar","settings.automations.scheduleSummary.weekends":"Helger kl. {time}","settings.automations.scheduleSummary.weekendsLabel":"helger","settings.automations.scheduleSummary.weekly":"{days} kl. {time}","settings.automations.scheduleWeekdays":"På","settings.automations.weekdayState.excluded":"Exkluderad","settings.automations.weekdayState.included":"Inkluderad","settings.conversationDetail.steps":"Steg","settings.conversationDetail.steps.description":"Dölj kommandon och utdata","settings.conversationDetail.stepsWithCommands":"Steg med kodkommandon","settings.conversationDetail.stepsWithCommands.description":"Visa kommandon, dölj utdata","settings.conversationDetail.stepsWithOutput":"Steg med kodutdata","settings.conversationDetail.stepsWithOutput.description":"Visa kommandon och expandera utdata","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Inga arkiverade chattar.","settings.dataControls.archivedChats.error":"Det gick inte att ladda arkiverade chattar.","settings.dataControls.archivedChats.loading":"Laddar arkiverade chattar …","settings.dataControls.archivedChats.unarchive":"Avarkivera","settings.dataControls.archivedChats.unarchiveError":"Det gick inte att avarkivera chatten","settings.dataControls.archivedChats.unarchiveSuccess":"Avarkiverad tråd. <viewNowLink>Visa nu</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Avarkiverad tråd.","settings.dataControls.archivedChats.untitled":"Chatt utan titel","settings.dataControls.archivedChats.viewNow":"Visa nu","settings.editRow.headerPlaceholder":"Nyckel","settings.editRow.removeEntry":"Radera post","settings.editRow.valuePlaceholder":"Värde","settings.general.appearance":"Utseende","settings.general.appearance.codeFont":"Typsnitt för kod","settings.general.appearance.codeFont.description":"Ställ in typsnitt och storlek som ska användas för kod i chattar och diff-filer","settings.general.appearance.codeFontFamily":"Typsnittsfamilj för kod","settings.general.appearance.codeFontSize":"Typsnittsstorlek för kod","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Ge fönster en solid bakgrund istället för systeminställningarnas genomskinlighet","settings.general.appearance.opaqueWindows.label":"Använd ogenomskinliga fönsterbakgrunder","settings.general.appearance.sansFontFamily":"Sans-typsnittsfamilj","settings.general.appearance.sansFontFamily.description":"Styr vilket typsnitt som används i Codex-gränssnittet","settings.general.appearance.sansFontSize":"Sans-typsnittsstorlek","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Visa effekter för firande i helfönster när GPT-5.3-Codex-Spark kör det första varvet","settings.general.appearance.sparkCelebrationEffects.label":"Utlös effekter för firande","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Mörk","settings.general.appearance.theme.description":"Använd ljust, mörkt eller anpassa efter systemet","settings.general.appearance.theme.light":"Ljus","settings.general.appearance.theme.system":"System","settings.general.appearance.usePointerCursors.description":"Ändra markören till en pekare när du håller den över interaktiva element","settings.general.appearance.usePointerCursors.label":"Använd markör med pekare","settings.general.enterBehavior.description":"När detta är aktiverat krävs {modifierSymbol} + Retur för att skicka prompter med flera rader.","settings.general.enterBehavior.label":"Kräv {modifierSymbol} + Retur för att skicka långa prompter","settings.general.experimentalFeatures":"Experimentella funktioner (beta)","settings.general.experimentalFeatures.empty":"Inga experimentella betafunktioner är tillgängliga.","settings.general.experimentalFeatures.loading":"Laddar experimentella funktioner …","settings.general.experimentalFeatures.restartNote":"Starta om Codex för att tillämpa ändringar av experimentella funktioner","settings.general.experimentalFeatures.toggle":"Aktivera/inaktivera {featureName}","settings.general.followUpQueueMode.description":"Köa uppföljningar medan Codex kör eller styr den aktuella körningen. Tryck på {invertFollowUpShortcutLabel} om du vill göra det motsatta för ett meddelande.","settings.general.followUpQueueMode.interrupt":"Styr","settings.general.followUpQueueMode.label":"Uppföljningsbeteende","settings.general.followUpQueueMode.queue":"Köa","settings.general.notifications":"Aviseringar","settings.general.power.preventSleepWhileRunning.description":"Håll datorn vaken medan Codex kör en tråd.","settings.general.power.preventSleepWhileRunning.label":"Förhindra viloläge under körning","settings.git.branchPrefix.ariaLabel":"Prefix till gren","settings.git.branchPrefix.description":"Prefix används för att skapa nya grenar i Codex","settings.git.branchPrefix.label":"Prefix till gren","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Det gick inte att spara prefix till gren","settings.git.branchPrefix.save.success":"Prefix till gren har sparats","settings.git.commitInstructions.ariaLabel":"Instruktioner för överlämning","settings.git.commitInstructions.description":"Tillagt i prompter för generering av överlämningsmeddelanden","settings.git.commitInstructions.label":"Instruktioner för överlämning","settings.git.commitInstructions.placeholder":"Lägg till vägledning för överlämningsmeddelande …","settings.git.commitInstructions.save":"Spara","settings.git.commitInstructions.save.error":"Det gick inte att spara instruktioner för överlämning","settings.git.commitInstructions.save.success":"Överlämningsinstruktioner har sparats","settings.git.forcePush.ariaLabel":"Tvinga alltid push","settings.git.forcePush.description":"Använd --force-with-lease när du skickar från Codex","settings.git.forcePush.label":"Tvinga alltid push","settings.git.forcePush.save.disabled":"Tvinga alltid push har inaktiverats","settings.git.forcePush.save.enabled":"Tvinga alltid push har aktiverats","settings.git.forcePush.save.error":"Det gick inte att spara inställningen för tvinga push","settings.git.prInstructions.ariaLabel":"Instruktioner för hämtningsbegäran","settings.git.prInstructions.description":"Bifogat till brödtexten för hämtningsbegäranden som skapas av Codex","settings.git.prInstructions.label":"Instruktioner för hämtningsbegäran","settings.git.prInstructions.placeholder":"Lägg till vägledning för hämtningsbegäran …","settings.git.prInstructions.save":"Spara","settings.git.prInstructions.save.error":"Det gick inte att spara instruktioner för hämtningsbegäran","settings.git.prInstructions.save.success":"Instruktioner för hämtningsbegäran har sparats","settings.ide.defaultOpenTarget.description":"Var filar och mappar öppnas som standard","settings.ide.defaultOpenTarget.label":"Standard för öppningsdestination","settings.ide.defaultOpenTarget.placeholder":"Inga mål hittades","settings.ide.language.auto":"Upptäck automatiskt","settings.ide.language.autoOption":"Upptäck automatiskt","settings.ide.language.description":"Språk för appens användargränssnitt","settings.ide.language.label":"Språk","settings.ide.language.search":"Sök efter språk","settings.layout.actionButton":"Starta om tillägget","settings.layout.actionTitle":"Inställningar med åtgärd","settings.layout.fullWidthTitle":"Inställningar (full bredd)","settings.layout.title":"Inställningar","settings.localEnvironments.actions.add":"Lägg till åtgärd","settings.localEnvironments.actions.add.description":"Skapa ett nytt kommando som kan köras från verktygsfältet.","settings.localEnvironments.actions.add.save":"Spara","settings.localEnvironments.actions.empty":"Lägg till en åtgärd för att köra kommandon från det lokala verktygsfältet.","settings.localEnvironments.actions.icon.debug":"Avlusa","settings.localEnvironments.actions.icon.run":"Kör","settings.localEnvironments.actions.icon.test":"Testa","settings.localEnvironments.actions.icon.tool":"Verktyg","settings.localEnvironments.actions.item.button.delete":"Radera","settings.localEnvironments.actions.item.command":"Åtgärdsskript","settings.localEnvironments.actions.item.name":"Namn","settings.localEnvironments.actions.item.platforms":"Plattformar","settings.localEnvironments.actions.item.platforms.help":"Kör endast på ett specifikt OS","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Plattformsval","settings.localEnvironments.actions.item.platforms.specific":"Plattformsspecifik","settings.localEnvironments.actions.item.platforms.windows":"Fönster","settings.localEnvironments.actions.item.tooltip.delete":"Radera","settings.localEnvironments.actions.title":"Åtgärder","settings.localEnvironments.breadcrumb.back":"Tillbaka","settings.localEnvironments.breadcrumb.edit":"redigera","settings.localEnvironments.breadcrumb.root":"Miljöer","settings.localEnvironments.environment.actions.description":"Dessa åtgärder kan köra alla kommandon och visas i sidhuvudet.","settings.localEnvironments.environment.actionsLabel":"Åtgärder","settings.localEnvironments.environment.create":"Skapa lokal miljö","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"Redigera lokal miljö","settings.localEnvironments.environment.empty":"Ingen lokal miljö har ställts in för det här projektet än.","settings.localEnvironments.environment.name":"Namn","settings.localEnvironments.environment.setup":"Konfigurationsskript","settings.localEnvironments.environment.setup.description":"Detta skript körs när arbetsträd skapas.","settings.localEnvironments.environment.setup.hint":"Körs i projektets rot.","settings.localEnvironments.environment.setup.platformOverrides":"Åsidosättningar för plattform","settings.localEnvironments.environment.setup.platformOverrides.add":"Lägg till {platform} konfigurationsskript","settings.localEnvironments.environment.setup.platformOverrides.description":"Åsidosätter standardskriptet för specifika OS.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Ta bort","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Miljöinformation","settings.localEnvironments.file.missing":"Spara för att skapa filen för första gången.","settings.localEnvironments.file.parseError":"Det gick inte att parsa den befintliga filen. Om du sparar skrivs den över. ({error})","settings.localEnvironments.file.path":"Fil: {path}","settings.localEnvironments.file.readError":"Det gick inte att ladda data om lokal miljö. ({error})","settings.localEnvironments.file.title":"Fil för lokal miljö","settings.localEnvironments.loading.body":"Hämtar din projektkonfiguration.","settings.localEnvironments.loading.title":"Laddar lokala miljöer","settings.localEnvironments.preview.devOnly":"(endast DEV)","settings.localEnvironments.preview.save":"Spara","settings.localEnvironments.preview.saveError":"Det gick inte att spara filen ({error})","settings.localEnvironments.preview.title":"Förhandsgranskning","settings.localEnvironments.save.disabled.name":"Lägg till ett miljönamn för att spara.","settings.localEnvironments.save.disabled.noChanges":"Inga ändringar att spara.","settings.localEnvironments.save.disabled.saving":"Sparar…","settings.localEnvironments.save.success":"Lokal miljö har sparats","settings.localEnvironments.unavailable.body":"Det gick inte att ladda den lokala miljöns inställningar för det här projektet.","settings.localEnvironments.unavailable.title":"Lokala miljöer ej tillgängliga","settings.localEnvironments.workspace.add":"Lägg till projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Lägg till miljö","settings.localEnvironments.workspaceSelect.description":"Lokala miljöer berättar för Codex hur arbetsträd för ett projekt ska konfigureras. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Inga projekt än. Lägg till ett för att konfigurera lokala miljöer.","settings.localEnvironments.workspaceSelect.errorLabel":"Miljön behöver åtgärdas","settings.localEnvironments.workspaceSelect.learnMore":"Läs mer","settings.localEnvironments.workspaceSelect.listLabel":"Tillgängliga projekt","settings.localEnvironments.workspaceSelect.loading":"Laddar projekt.","settings.localEnvironments.workspaceSelect.loadingLabel":"Laddar miljö","settings.localEnvironments.workspaceSelect.title":"Välj ett projekt","settings.localEnvironments.workspaceSelect.viewAction":"Visa","settings.mcp.addServer":"Lägg till server","settings.mcp.app.configure":"Konfigurera","settings.mcp.app.connect":"Sammanlänka","settings.mcp.apps.refresh":"Uppdatera","settings.mcp.detail.addArgument":"Lägg till argument","settings.mcp.detail.addEnvVar":"Lägg till miljövariabel","settings.mcp.detail.addEnvVarPassthrough":"Lägg till variabel","settings.mcp.detail.args":"Argument","settings.mcp.detail.back":"Tillbaka","settings.mcp.detail.command":"Kommando för att starta","settings.mcp.detail.cwd":"Arbetskatalog","settings.mcp.detail.docs":"Öppna MCP-dokumentation","settings.mcp.detail.docs.link":"Dokument","settings.mcp.detail.envVarPassthrough":"Passthrough för miljövariabel","settings.mcp.detail.envVars":"Miljövariabler","settings.mcp.detail.http.addEnvHeader":"Lägg till variabel","settings.mcp.detail.http.addHeader":"Lägg till huvud","settings.mcp.detail.http.bearerToken":"Miljövariabler för bärartoken","settings.mcp.detail.http.envHeaders":"Huvuden från miljövariabler","settings.mcp.detail.http.headers":"Huvuden","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Namn","settings.mcp.detail.save":"Spara","settings.mcp.detail.switchTransportNotice":"Om du vill byta MCP-servertyp måste du först avinstallera.","settings.mcp.detail.titleExisting":"Uppdatera MCP:n {name}","settings.mcp.detail.titleNew":"Sammanlänka med en anpassad MCP","settings.mcp.detail.transport.http":"Strömningsbar HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Avinstallera","settings.mcp.empty":"Inga anpassade MCP-servrar har sammanlänkats","settings.mcp.myServers":"Anpassade servrar","settings.mcp.partnerServer.description.figma":"Generera bättre kod genom att använda fullständig Figma-kontext","settings.mcp.partnerServer.description.github":"Integrera GitHub-API:er för att automatisera arbetsflöden och extrahera data","settings.mcp.partnerServer.description.linear":"Integrera med Linears ärendespårning och projekthantering","settings.mcp.partnerServer.description.notion":"Läs dokument, uppdatera sidor, hantera uppgifter","settings.mcp.partnerServer.description.playwright":"Integrera webbläsarautomatisering för att implementera design och testa användargränssnitt.","settings.mcp.partnerServer.install":"Installera","settings.mcp.partnerServer.installAndAuthenticate":"Installera och autentisera","settings.mcp.partnerServer.logoAlt":"{label}-logotyp","settings.mcp.partnerServer.manage":"Hantera","settings.mcp.partnerServer.vendor":"av {vendor}","settings.mcp.recommendedServers":"Rekommenderade servrar","settings.mcp.restartApp":"Börja om","settings.mcp.restartExtension":"Starta om tillägget","settings.mcp.server.enable":"Aktivera","settings.mcp.server.login":"Autentisera dig","settings.mcp.server.settings":"Inställningar","settings.multiselect.createOption":"Skapa ”{value}”","settings.multiselect.removeOption":"Ta bort","settings.nav.account":"Konto","settings.nav.agent":"Konfiguration","settings.nav.ariaLabel":"Inställningar","settings.nav.back":"Tillbaka till appen","settings.nav.data-controls":"Arkiverade trådar","settings.nav.environments":"Molnmiljöer","settings.nav.externalTooltip":"[alpha] Öppnas i webbläsare","settings.nav.general-settings":"Allmänt","settings.nav.git-settings":"Git","settings.nav.local-environments":"Miljöer","settings.nav.mcp-settings":"MCP-servrar","settings.nav.notImplemented":"[alpha] Finns inte som Alpha","settings.nav.personalization":"Anpassning","settings.nav.skills-settings":"Färdigheter","settings.nav.usage-analytics":"Användning och analys","settings.nav.worktrees":"Arbetsträd","settings.openSourceLicenses.back":"Tillbaka","settings.openSourceLicenses.loading":"Laddar…","settings.openSourceLicenses.missing":"Inga meddelanden från tredje part hittades.","settings.openSourceLicenses.notSupported":"Finns inte hos denna värd.","settings.openSourceLicenses.rowDescription":"Meddelanden från tredje part för paketerade beroenden","settings.openSourceLicenses.rowLabel":"Licenser med öppen källkod","settings.openSourceLicenses.subtitle":"Meddelanden från tredje part för beroenden som ingår i denna app","settings.openSourceLicenses.title":"Licenser med öppen källkod","settings.openSourceLicenses.view":"Visa","settings.personalization.agents.description":"Redigera instruktioner som skräddarsyr Codex åt dig. {learnMore}","settings.personalization.agents.learnMore":"Läs mer","settings.personalization.agents.loadError":"Det gick inte att ladda agents.md.","settings.personalization.agents.loading":"Laddar agents.md …","settings.personalization.agents.placeholder":"Lägg till anpassade instruktioner …","settings.personalization.agents.retry":"Försök igen","settings.personalization.agents.save":"Spara","settings.personalization.agents.save.error":"Det gick inte att spara agents.md","settings.personalization.agents.save.success":"Sparade agents.md","settings.personalization.agents.title":"Anpassade instruktioner","settings.personalization.personality.description":"Välj en standardton för Codex-svar","settings.personalization.personality.label":"Personlighet","settings.sample.contentBody":"Använd den här layouten för att ordna inställningspanelen med konsekventa mellanrum.","settings.sample.contentTitle":"Exempel på innehållsblock","settings.section.account":"Konto","settings.section.agent":"Konfiguration","settings.section.data-controls":"Arkiverade trådar","settings.section.environments":"Molnmiljöer","settings.section.external":"Öppnas i din webbläsare under Alpha","settings.section.general-settings":"Allmänt","settings.section.git-settings":"Git","settings.section.local-environments":"Miljöer","settings.section.mcp-settings":"MCP-servrar","settings.section.mcp-settings.docs":"Dokument","settings.section.mcp-settings.subtitle":"Sammanlänka med externa verktyg och datakällor.","settings.section.personalization":"Anpassning","settings.section.skills-settings":"Färdigheter","settings.section.unavailable":"Finns ännu inte i Alpha","settings.section.usage-analytics":"Användning och analys","settings.section.worktrees":"Arbetsträd","settings.threadDetail.description":"Välj hur mycket kommandoutdata som ska visas i trådar","settings.threadDetail.label":"Trådinformation","settings.worktrees.conversation.untitled":"Samtal utan titel","settings.worktrees.delete.error":"Det gick inte att radera arbetsträd","settings.worktrees.empty.body":"Arbetsträd som skapats av Codex visas här.","settings.worktrees.empty.title":"Inga arbetsträd än","settings.worktrees.error.body":"Något gick fel när arbetsträd skulle laddas.","settings.worktrees.error.retry":"Försök igen","settings.worktrees.error.title":"Det gick inte att ladda arbetsträd","settings.worktrees.loading.body":"Hämtar information om arbetsträd.","settings.worktrees.loading.title":"Laddar arbetsträd","settings.worktrees.repository.loading":"Laddar metadata för kodförråd …","settings.worktrees.repository.unknown":"Okänt kodförråd","settings.worktrees.row.conversations":"Samtal","settings.worktrees.row.conversations.empty":"Det finns inga samtal länkade till det här arbetsträdet.","settings.worktrees.row.conversations.loading":"Laddar samtal …","settings.worktrees.row.delete":"Radera","settings.worktrees.row.title":"Arbetsträd","sidebarElectron.addWorkspaceRoot":"Lägg till nytt projekt","sidebarElectron.archiveThread":"Arkivera tråd","sidebarElectron.archiveThreadError":"Det gick inte att arkivera tråden","sidebarElectron.collapseFolder":"Stäng mapp","sidebarElectron.createStableWorktree.dialog.cancel":"Avbryt","sidebarElectron.createStableWorktree.dialog.create":"Skapa","sidebarElectron.debugNavLink":"Avlusa","sidebarElectron.editWorkspaceRootOptionName":"Redigera namn","sidebarElectron.expandFolder":"Expandera mapp","sidebarElectron.groupByMenu.recency":"Kronologisk lista","sidebarElectron.groupByMenu.title":"Organisera","sidebarElectron.groupByMenu.workspace":"Efter projekt","sidebarElectron.inboxRouteNavLink":"Automatiseringar","sidebarElectron.markThreadUnread":"Markera som oläst","sidebarElectron.missingWorkspaceRoot":"Den här projektmappen har raderats eller flyttats","sidebarElectron.newThread":"Ny tråd","sidebarElectron.newThreadInGroup":"Starta en ny tråd i {folder}","sidebarElectron.noRecentThreads":"Inga senaste trådar","sidebarElectron.noTasks":"Inga trådar","sidebarElectron.noTasks.start":"Lägg till ett nytt projekt","sidebarElectron.noTasksWithFilter":"Inga trådar matchar filtren","sidebarElectron.pinnedThreads":"Fastnålade trådar","sidebarElectron.recentNavLink":"Trådar","sidebarElectron.recentThreads":"Senaste trådar","sidebarElectron.removeWorkspaceRootOption":"Ta bort","sidebarElectron.renameThread":"Döp om tråd","sidebarElectron.renameThreadDialogAriaLabel":"Trådtitel","sidebarElectron.renameThreadDialogCancel":"Avbryt","sidebarElectron.renameThreadDialogPlaceholder":"Lägg till en titel …","sidebarElectron.renameThreadDialogSave":"Spara","sidebarElectron.renameThreadDialogSubtitle":"Håll den kort och igenkännbar.","sidebarElectron.renameThreadDialogTitle":"Döp om tråd","sidebarElectron.renameThreadError":"Det gick inte att döpa om tråden","sidebarElectron.renameWorkspaceRootOptionLabel":"Visningsnamn","sidebarElectron.showLess":"Visa färre","sidebarElectron.showMenu.all":"Alla trådar","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Visa bara senaste trådar för aktuell gren, arbetsträd eller andra trådar som kräver din uppmärksamhet","sidebarElectron.showMenu.title":"Visa","sidebarElectron.showMenu.tooltip":"Filtrera, sortera och organisera trådar","sidebarElectron.showMenu.trigger":"Filtrera trådar i sidopanelen","sidebarElectron.showMore":"Visa fler","sidebarElectron.skillsRouteNavLink":"Färdigheter","sidebarElectron.sortMenu.created":"Skapad","sidebarElectron.sortMenu.title":"Sortera efter","sidebarElectron.sortMenu.updated":"Uppdaterad","sidebarElectron.taskNavigation":"Automatiseringsmappar","sidebarElectron.tasksInFolder":"Automatiseringar i {folder}","sidebarElectron.workspaceOptions":"Projektåtgärder för {folder}","sidebarElectron.worktreeGroupTooltip":"Det här är ett git-arbetsträd","skills.appsPage.createSkill":"Ny färdighet","skills.appsPage.empty.skills":"Inga färdigheter hittades","skills.appsPage.search.skills":"Sök efter färdigheter","skills.appsPage.search.skills.label":"Sök efter färdigheter","skills.appsPage.section.installedApps":"Installerade","skills.appsPage.section.skills":"Färdigheter","skills.appsPage.subheading":"Ge Codex superkrafter. <link>Läs mer</link>","skills.appsPage.tab.recommended":"Rekommenderas","skills.appsPage.tab.skills":"Färdigheter","skills.card.contentsError":"Det gick inte att ladda färdighetens innehåll.","skills.card.disable":"Inaktivera","skills.card.disableSuccess":"{skillName} färdighet har inaktiverats","skills.card.disabledBadge":"Inaktiverade","skills.card.enable":"Aktivera","skills.card.enableSuccess":"{skillName} färdighet har aktiverats","skills.card.loadingContents":"Laddar färdighetens innehåll …","skills.card.more":"Fler åtgärder","skills.card.open":"Öppna","skills.card.removeFailed":"Det gick inte att avinstallera färdigheten","skills.card.removeSuccess":"{skillName} färdighet har avinstallerats","skills.card.toggleEnabledError":"Det gick inte att uppdatera färdigheten","skills.card.try":"Prova","skills.card.trySkill":"Prova färdighet","skills.card.uninstall":"Avinstallera","skills.hero.dotLabel":"Gå till bild {index}","skills.hero.next":"Nästa utvalda färdighet","skills.hero.trySkill":"Prova färdighet","skills.page.createSkill":"Ny färdighet","skills.page.empty":"Inga färdigheter hittades","skills.page.filteredEmpty":"Inga färdigheter matchar dina filter","skills.page.filteredEmptyDescription":"Prova att ändra dina söknings- och omfångsfilter","skills.page.heading":"Färdigheter","skills.page.loading":"Laddar färdigheter …","skills.page.refreshSkills":"Uppdatera","skills.page.refreshSkillsToUseNew":"Uppdatera för att använda nya färdigheter","skills.page.search":"Sök efter färdigheter","skills.page.search.label":"Sök efter färdigheter","skills.page.subheading":"Ge Codex superkrafter. <link>Läs mer</link>","skills.preview.copyPrompt":"Kopiera prompt","skills.preview.examplePrompt":"Exempelprompt","skills.recommended.error":"Det gick inte att ladda rekommenderade färdigheter","skills.recommended.install":"Installera","skills.recommended.installSkill":"Installera färdighet","skills.recommended.installSuccess":"{skillName} färdighet har installerats","skills.recommended.installed":"Installerade","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Installerade av admin","skills.scope.builtIn":"System","skills.scope.personal":"Personligt","skills.scope.repo":"Kodförråd","skills.scope.system":"System","skills.scope.team":"Team","skills.scope.user":"Användare","skills.section.installed":"Installerade","skills.section.recommended":"Rekommenderas","story.slidingToggle.existing":"Befintlig","story.slidingToggle.fromLocal":"Från lokal","story.slidingToggle.new":"Ny","story.slidingToggle.toLocal":"Till lokal","terminal.close":"Stäng terminal","terminal.title":"Terminal","thinkingShimmer.default":"Tänker","threadEnvIcon.cloudTooltip":"Detta samtal körs i Codex Cloud.","threadEnvIcon.localTooltip":"Detta samtal körs lokalt.","threadEnvIcon.worktreeTooltip":"Detta samtal körs i ett lokalt git-arbetsträd.","threadHeader.archiveConfirmCancel":"Avbryt","threadHeader.archiveConfirmConfirm":"Arkivera","threadHeader.archiveConfirmSubtitle":"Du kan hitta den senare bland dina arkiverade trådar.","threadHeader.archiveConfirmTitle":"Arkivera tråd?","threadHeader.copyAppLink":"Kopiera djuplänk","threadHeader.copySessionId":"Kopiera sessions-ID","threadHeader.copyWorkingDirectory":"Kopiera arbetskatalog","threadHeader.forkIntoLocal":"Kopiera lokalt","threadHeader.forkIntoWorktree":"Kopiera till nytt arbetsträd","threadHeader.forkPendingWorktreePrompt":"Kopiera det här samtalet till ett nytt arbetsträd.","threadHeader.forkPendingWorktreeTitle":"Samtalet har kopierats","threadHeader.forkThreadError":"Det gick inte att kopiera tråden","threadHeader.forkThreadRequiresGitRepo":"Kopiering till nytt arbetsträd kräver ett git-kodförråd","threadHeader.moreActions":"Åtgärder för tråd","threadPage.newThread":"Ny tråd","threadPage.runAction.changeEnvironment":"Ändra miljö","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} åtgärder","threadPage.runAction.environmentSelector.label":"Välj miljö","threadPage.runAction.label":"Kör","threadPage.runAction.missing.label":"Konfigurera en körningsåtgärd","threadPage.runAction.setup.commandLabel":"Kommando för att köra","threadPage.runAction.setup.description":"Berätta hur Codex kan installera beroenden och starta appen.","threadPage.runAction.setup.editMore":"Miljöinställningar","threadPage.runAction.setup.placeholder":"eg: npm install npm run","threadPage.runAction.setup.submit":"Spara och kör","threadPage.runAction.setup.title":"Kör","threadPage.runAction.tooltip.withEnvironment":"{environmentName} åtgärder","threadPage.toggleDiffPanel":"Växla diff-panel","threadPage.toggleTerminal":"Visa/dölj terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Öppna mapp","toolSummaryForCmd.exploredFiles":"<verb>Listade</verb> filer","toolSummaryForCmd.exploredFilesInPath":"<verb>Listade</verb> filer i {path}","toolSummaryForCmd.exploringFiles":"<verb>Listar</verb> filer","toolSummaryForCmd.exploringFilesInPath":"<verb>Listar</verb> filer i {path}","toolSummaryForCmd.ranGenericCommand":"<status>Körde kommando</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Körde</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Läs</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Kör kommando</status>{timer}","toolSummaryForCmd.runningTimer":"för {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Sökte</verb> efter {query}","toolSummaryForCmd.searchedForFiles":"<verb>Sökte</verb> efter filer","toolSummaryForCmd.searchedForInPath":"<verb>Sökte</verb> efter {query} i {path}","toolSummaryForCmd.searchingFor":"<verb>Söker</verb> efter {query}","toolSummaryForCmd.searchingForFiles":"<verb>Söker</verb> efter filer","toolSummaryForCmd.searchingForInPath":"<verb>Söker</verb> efter {query} i {path}","traceRecording.details.noteLabel":"Vad gjorde du när detta inträffade? (valfritt)","traceRecording.details.notePlaceholder":"Navigerade till en stor tråd och bytte sedan flikar om och om igen …","traceRecording.details.submit":"Skicka spår","traceRecording.details.subtitle":"Vi kan skicka det här profilspåret för att hjälpa till att diagnostisera problem med prestanda.","traceRecording.details.title":"Skicka profilspår?","traceRecording.progress.subtitle":"Håll Codex öppet medan detta slutförs.","traceRecording.saving.title":"Sparar spår …","traceRecording.startDetails.cancel":"Avbryt","traceRecording.startDetails.submit":"Okej, starta inspelningen","traceRecording.startDetails.subtitle":"Efter att du klickat på Okej återskapar du prestandaproblemet och klickar sedan på den flytande röda indikatorn för att stoppa och granska spåret.","traceRecording.startDetails.title":"Så fungerar spårinspelning","traceRecording.stopButton.ariaLabel":"Stoppa spårinspelning","traceRecording.upload.successToast":"Profilspår har skickats.","traceRecording.uploading.title":"Laddar upp spår …","wham.diff.addComment":"Lägg till kommentar","wham.diff.binaryFile":"Binärfil visas inte","wham.diff.noContent":"Inget innehåll","wham.fileTag.deleted":"Raderad","wham.fileTag.new":"Ny","wham.formattedRelativeDateTime.compactDaysAgo":"{value} dag","wham.formattedRelativeDateTime.compactHoursAgo":"{value} tim","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mån","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} v","wham.formattedRelativeDateTime.compactYearsAgo":"{value} år","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Arbetar med din uppgift","wham.whamProposedTask.title":"Föreslagen uppgift","wham.whamProposedTask.useSuggestion":"Använd förslag","workspaceRootDialog.addError":"Det gick inte att lägga till projektet","workspaceRootDialog.cancel":"Avbryt","workspaceRootDialog.confirmAdd":"Lägg till projekt","workspaceRootDialog.confirmPick":"Använd projekt","workspaceRootDialog.description":"Ange en sökväg på {host} som ska användas som projekt.","workspaceRootDialog.pathLabel":"Projektets sökväg","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Lägg till projektets sökväg","workspaceRootDialog.title.pick":"Välj projektets sökväg","worktreeInitV2.cancel":"Avbryt","worktreeInitV2.notification.failedTitle":"Konfiguration av arbetsträd misslyckades","worktreeInitV2.output.empty":"Väntar på utdata …","worktreeInitV2.status.error":"Konfiguration av arbetsträd misslyckades.","worktreeInitV2.status.running":"Skapar ett arbetsträd och kör konfigurationen.","worktreeInitV2.status.runningFork":"Skapa ett arbetsträd för att kunna kopiera samtalet.","worktreeInitV2.status.success":"Arbetsträdet är färdigt.","worktreeInitV2.title":"Skapar arbetsträd","worktreeInitV2.workLocallyInstead":"Arbeta lokalt istället","worktreeRestoreBanner.body":"Den här trådens arbetsträd har tagits bort för att spara diskutrymme","worktreeRestoreBanner.missing.body":"Den här trådens arbetskatalog finns inte längre","worktreeRestoreBanner.missing.title":"Aktuell arbetskatalog saknas","worktreeRestoreBanner.restore.error":"Det gick inte att återställa arbetsträdet: {message}","worktreeRestoreBanner.restore.success":"Arbetsträdet har återställts","worktreeRestoreBanner.restoreCta":"Återställ arbetsträd","worktreeRestoreBanner.title":"Arbetsträdet har rensats"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopiera","app.sidebar.hide":"Dölj sidopanel","app.sidebar.show":"Visa sidopanel","app.sidebar.tooltip":"Visa/dölj sidopanelen","appHeader.installUpdate":"Uppdatera","appSunset.body":"Den här appversionen stöds inte längre. Ladda ner den senaste versionen <here>här</here>.","appSunset.title":"Uppdatering krävs","automation.updateDirective.create":"Skapa","automation.updateDirective.open":"Öppna","automation.updateDirective.untitled":"Automatisering utan titel","automation.updateDirective.update":"Uppdatera","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# försök} other {# försök}}","cloudTaskRow.archiveError":"Det gick inte att arkivera uppgiften","code.diff.requestChange":"Begär ändring","code.diffComment.cancel":"Avbryt","code.diffComment.comment":"Kommentar","code.diffComment.delete":"Radera","code.diffComment.save":"Spara","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Inga resultat rapporterades.","codex.alert.closeAriaLabel":"Stäng","codex.appUpsellBanner.cbpApi.message":"Bygg snabbare med Codex-appen. Ladda ner den nu eller {learnMoreLink}.","codex.appUpsellBanner.download":"Ladda ner","codex.appUpsellBanner.freeGo.message":"Codex ingår i ditt abonnemang fram till 2 mars. Prova Codex-appen för att bygga snabbare.","codex.appUpsellBanner.later":"Senare","codex.appUpsellBanner.learnMoreLowercase":"läs mer","codex.appUpsellBanner.new":"Ny","codex.appUpsellBanner.proPlusBusiness.message":"Prova Codex-appen med dubbla frekvensgränser fram till den 2 april. Ladda ner nu eller {learnMoreLink}.","codex.appUpsellBanner.title":"Codex-appen","codex.applyDropdown.header.changes":"Ändringar","codex.applyDropdown.header.fileCount":"{count, plural, one {# fil} other {# filer}}","codex.applyDropdown.header.rows":"rader","codex.applyDropdown.header.title":"Tillämpa ändringar","codex.applyDropdown.header.workspace":"Projekt","codex.applyDropdown.results.conflicted":"{count, plural, one {1 konflikterande fil:} other {{count} konflikterande filer:}}","codex.applyDropdown.results.empty":"Inga filer kopierades","codex.applyDropdown.results.skipped":"{count, plural, one {1 fil hoppades över:} other {{count} filer hoppades över:}}","codex.applyOrRevertBanner.apply":"Tillämpa","codex.applyOrRevertBanner.applyMessage":"Tillämpa ändringar och fortsätt lokalt?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Den här uppgiften skapades i {environment} och kan kanske inte tillämpas på ett rent sätt.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Ändringarna gjordes i {environment} och kan kanske inte tillämpas på ett rent sätt.","codex.applyOrRevertBanner.reapply":"Tillämpa igen","codex.applyOrRevertBanner.revert":"Ångra","codex.applyOrRevertBanner.revertMessage":"Ångra tillämpade ändringar?","codex.applyResultsDialog.applied":"Tillämpades rent ({count})","codex.applyResultsDialog.close":"Stäng","codex.applyResultsDialog.conflicted":"Konflikterande ({count})","codex.applyResultsDialog.noDetails":"Det finns ingen information om filen.","codex.applyResultsDialog.skipped":"Hoppades över ({count})","codex.applyResultsDialog.title":"Tillämpa resultat","codex.archiveInfo":"Visa arkiverade chattar i {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Datakontroller","codex.archiveInfo.electron":"Visa arkiverade chattar i {settingsLink}","codex.archiveInfo.extension":"Visa arkiverade chattar i din .codex-mapp.","codex.archiveInfo.settingsLink":"Inställningar","codex.banner.content.description":"Kör uppgifter parallellt, spåra förlopp överallt och granska hämtningsbegäranden med AI.","codex.banner.content.headline":"Codex sköter allt.","codex.cloudTaskRow.archiveTask":"Arkivera uppgift","codex.cloudTaskRow.confirmArchiveTask":"Bekräfta","codex.command.feedback":"Feedback","codex.command.findInThread":"Hitta","codex.command.forceReloadSkills":"Tvinga omladdning av färdigheter","codex.command.logOut":"Logga ut","codex.command.manageTasks":"Hantera aktiviteter","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Tillbaka","codex.command.navigateForward":"Framåt","codex.command.newThread":"Ny tråd","codex.command.nextThread":"Nästa tråd","codex.command.openFolder":"Öppna mapp","codex.command.openSkills":"Gå till färdigheter","codex.command.openThreadOverlay":"Öppna tråd separat","codex.command.personalitySettings":"Personlighet","codex.command.previousThread":"Föregående tråd","codex.command.settings":"Inställningar","codex.command.toggleDiffPanel":"Växla diff-panel","codex.command.toggleSidebar":"Visa/dölj sidopanelen","codex.command.toggleTerminal":"Visa/dölj terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"Konfigurera","codex.commandGroup.navigation":"Navigering","codex.commandGroup.panels":"Paneler","codex.commandGroup.skills":"Färdigheter","codex.commandGroup.thread":"Tråd","codex.commandGroup.workspace":"Projekt","codex.commandMenu.noResults":"Inga träffar","codex.commandMenu.searchPlaceholder":"Sök kommandon","codex.commandMenu.suggestedGroup":"Förslag","codex.commandMenu.switchWorkspace":"Byt projekt","codex.commandMenu.title":"Kommandomeny","codex.common.retry":"Försök igen","codex.composer.searchBranches":"Sök efter förgreningar","codex.dialog.basic.body":"Det här är en enkel dialogmodal med vårt omslag kring Radix Dialog.","codex.dialog.basic.cancel":"Avbryt","codex.dialog.basic.confirm":"Bekräfta","codex.dialog.basic.open":"Öppna dialog","codex.dialog.basic.title":"Exempeldialog","codex.dialog.long.close":"Stäng","codex.dialog.long.line":"Rullningsbar rad {index} för att demonstrera innehåll i långformat inuti dialogen.","codex.dialog.long.open":"Öppna lång dialog","codex.dialog.long.title":"Dialog för innehåll i långformat","codex.dialog.unstyled.body":"Denna story visar hur anropare helt kan styra formateringen av dialogens innehåll.","codex.dialog.unstyled.open":"Öppna oformaterad dialog","codex.dialog.unstyled.title":"Innehåll utan formatering","codex.diff.openInEditorPrompt.openButton":"Öppna i redigeraren","codex.diff.openInEditorPrompt.singleLine":"Denna fil är för stor att visas här.","codex.diffView.failedToDecodeBase64Diff":"Det gick inte att avkoda base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {# fil har ändrats} other {# filer har ändrats}}","codex.diffView.imagePreviewAlt":"Förhandsgranskning av bild","codex.diffView.imagePreviewEmpty":"Ingen bild","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Inga diff-data","codex.diffView.pdfPreview.nextPage":"Nästa sida","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Föregående sida","codex.diffView.pdfPreviewEmpty":"Ingen PDF-förhandsgranskning","codex.diffView.pdfPreviewError":"Det gick inte att rendera PDF-förhandsgranskningen","codex.diffView.richPreviewDisable":"Inaktivera formaterad förhandsgranskning","codex.diffView.richPreviewEnable":"Aktivera formaterad förhandsgranskning","codex.diffView.richPreviewLoading":"Laddar förhandsgranskning …","codex.diffView.richPreviewToggle":"Aktivera/inaktivera formaterad förhandsgranskning","codex.diffView.switchToUnified":"Växla till enhetlig diff","codex.environmentSelector.noEnvironment":"Ingen miljö","codex.environments.environmentSettings":"Miljöinställningar","codex.environments.learnMore":"Läs mer","codex.environments.listError":"Det gick inte att ladda miljöer.","codex.environments.noEnvironmentsFound":"Inga miljöer hittades","codex.environments.searchError":"Det gick inte att söka miljöer.","codex.errorBoundary.genericError":"Hoppsan, det har uppstått ett fel","codex.errorBoundary.goHome":"Försök igen","codex.file.patch.missing":"Det gick inte att bygga en patch för den här filen.","codex.gallery.automations.cwdLabel":"Projekt","codex.gallery.automations.nameLabel":"Namn","codex.gallery.automations.namePlaceholder":"Sammanfatta en uppgift","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Beskriv vad Codex ska göra","codex.gallery.dialogs.automation.label":"Automatiseringsdialog","codex.gallery.dialogs.basic.body":"Använd denna layout för enkla bekräftelser eller korta formulär.","codex.gallery.dialogs.basic.cancel":"Avbryt","codex.gallery.dialogs.basic.confirm":"Bekräfta","codex.gallery.dialogs.basic.label":"Grundläggande dialog","codex.gallery.dialogs.basic.title":"Exempeldialog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Beskriv problemet","codex.gallery.dialogs.feedbackSubmission.bad":"Dåligt resultat","codex.gallery.dialogs.feedbackSubmission.bug":"Fel","codex.gallery.dialogs.feedbackSubmission.good":"Bra resultat","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Inkludera loggar från aktuell Codex-session","codex.gallery.dialogs.feedbackSubmission.label":"Lämna feedback","codex.gallery.dialogs.feedbackSubmission.other":"Annan","codex.gallery.dialogs.feedbackSubmission.placeholder":"Beskriv problemet här","codex.gallery.dialogs.feedbackSubmission.submit":"Skicka","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Feedback har laddats upp. Om problemet kvarstår kan du öppna ett GitHub-ärende eller nämna trådens ID i ett befintligt öppet ärende:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Stäng","codex.gallery.dialogs.feedbackSuccess.label":"Feedback har skickats","codex.gallery.dialogs.feedbackSuccess.title":"Feedback har laddats upp.","codex.gallery.dialogs.gitApplyResults.applied":"Tillämpades rent (2)","codex.gallery.dialogs.gitApplyResults.close":"Stäng","codex.gallery.dialogs.gitApplyResults.conflicted":"Konflikterande: (1)","codex.gallery.dialogs.gitApplyResults.label":"Tillämpa resultat","codex.gallery.dialogs.gitApplyResults.title":"Tillämpa resultat","codex.gallery.dialogs.gitPushError.body":"Hämta de senaste ändringarna eller tvinga push om du vet att fjärrhistoriken kan skrivas över.","codex.gallery.dialogs.gitPushError.cancel":"Avbryt","codex.gallery.dialogs.gitPushError.force":"Tvinga push","codex.gallery.dialogs.gitPushError.label":"Push-fel","codex.gallery.dialogs.gitPushError.subtitle":"Din gren är bakom ursprunglig/primär.","codex.gallery.dialogs.gitPushError.title":"Det gick inte att pusha ändringarna","codex.gallery.dialogs.gitRevert.cancel":"Avbryt","codex.gallery.dialogs.gitRevert.confirm":"Ångra","codex.gallery.dialogs.gitRevert.label":"Återställ ändringar","codex.gallery.dialogs.gitRevert.skip":"Fråga inte igen","codex.gallery.dialogs.gitRevert.subtitle":"Denna åtgärd raderar alla dessa ändringar.","codex.gallery.dialogs.gitRevert.title":"Återställ ändringar?","codex.gallery.dialogs.longForm.label":"Dialog i långt format","codex.gallery.dialogs.proseModal.body":"Denna modalstil används för längre instruktioner, onboarding eller block med formaterat innehåll.","codex.gallery.dialogs.proseModal.close":"Stäng","codex.gallery.dialogs.proseModal.subtitle":"Dela vägledning eller dokumentation i längre format här.","codex.gallery.dialogs.proseModal.title":"Brödtextmodal","codex.gallery.dialogs.submitBlocked.label":"Inlämningen blockerades","codex.gallery.dialogs.submitBlocked.message":"Det gick inte att skicka meddelandet eftersom projektet inte är tillgängligt.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Det gick inte att skicka meddelandet","codex.gallery.dialogs.title":"Dialoger","codex.gallery.dropdown.filterPlaceholder":"Filterobjekt","codex.gallery.dropdowns.actionRow":"Åtgärdsrader","codex.gallery.dropdowns.actionRow.disabled":"Inaktiverad åtgärd","codex.gallery.dropdowns.actionRow.primary":"Primär åtgärd","codex.gallery.dropdowns.actionRow.secondary":"Sekundär åtgärd","codex.gallery.dropdowns.actionRow.trigger":"Visa åtgärder","codex.gallery.dropdowns.basic":"Grundläggande listruta","codex.gallery.dropdowns.basic.newFile":"Ny fil","codex.gallery.dropdowns.basic.newFolder":"Ny mapp","codex.gallery.dropdowns.basic.openSettings":"Öppna inställningarna","codex.gallery.dropdowns.basic.title":"Snabbåtgärder","codex.gallery.dropdowns.basic.trigger":"Öppna meny","codex.gallery.dropdowns.basic.upload":"Ladda upp","codex.gallery.dropdowns.panel":"Panelyta","codex.gallery.dropdowns.panel.apply":"Tillämpa","codex.gallery.dropdowns.panel.body":"Granska diffs och tillämpa i ditt projekt.","codex.gallery.dropdowns.panel.preview":"Förhandsgranskning","codex.gallery.dropdowns.panel.title":"Tillämpa ändringar","codex.gallery.dropdowns.panel.trigger":"Öppna panel","codex.gallery.dropdowns.search":"Sökbar listruta","codex.gallery.dropdowns.search.first":"Alpha-kanal","codex.gallery.dropdowns.search.second":"Beta-gren","codex.gallery.dropdowns.search.third":"Releasekandidat","codex.gallery.dropdowns.search.trigger":"Filterobjekt","codex.gallery.dropdowns.submenu":"Listruta med undermeny","codex.gallery.dropdowns.submenu.optionA":"Projekt alpha","codex.gallery.dropdowns.submenu.optionB":"Projekt beta","codex.gallery.dropdowns.submenu.optionC":"Projekt gamma","codex.gallery.dropdowns.submenu.primary":"Tilldela ägare","codex.gallery.dropdowns.submenu.secondary":"Flytta till","codex.gallery.dropdowns.submenu.tertiary":"Arkivera","codex.gallery.dropdowns.submenu.trigger":"Välj åtgärd","codex.gallery.dropdowns.title":"Listrutor","codex.gallery.inbox.automations.close":"Stäng","codex.gallery.inbox.automations.popover.cardTitle":"Hantera automatiseringar","codex.gallery.inbox.automations.popover.dialogTitle":"Hantera automatiseringar","codex.header.settingsTooltip":"Inställningar","codex.hunk.patch.error":"Det gick inte att staga","codex.hunk.patch.missing":"Det gick inte att bygga en patch för denna hunk.","codex.hunk.patch.partialSuccess":"Delvis slutfört","codex.hunk.patch.revertError":"Det gick inte att avstaga","codex.hunk.patch.revertSuccess":"Har avstagats","codex.hunk.patch.success":"Har stagats","codex.legal.autonomy.details":"Se mer information i {link}","codex.legal.autonomy.details.link":"Codex-dokument","codex.legal.autonomy.title":"Bestäm hur mycket autonomi du vill bevilja","codex.legal.backButton":"Tillbaka","codex.legal.cloud.taskOne.meta":"openai/agi · 12 okt","codex.legal.cloud.taskOne.title":"Förklara kodförråd för en ny designer","codex.legal.cloud.taskThree.meta":"openai/codex · 8 okt","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Skapa ett mörkt tema","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 okt","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Åtgärda ett onboardingfel","codex.legal.continue.apikey":"Fortsätt","codex.legal.continueButton":"Nästa","codex.legal.copilot.details":"Använder ditt Copilot-abonnemang för alla modellanrop, fakturering och frekvensgränser. Både {oaiTos} och {gitHubTos} gäller vid användning av Codex-tillägg.","codex.legal.copilot.gitHubTosLink":"Tjänstevillkor för GitHub","codex.legal.copilot.oaiTosLink":"Tjänstevillkor för OpenAI Codex","codex.legal.copilot.title":"Baseras på GitHub Copilot","codex.legal.mistakes.review":"Granska kod som den skriver och kommandon den kör","codex.legal.mistakes.title":"Codex kan begå misstag","codex.legal.powered.details":"Använder ditt abonnemangs frekvensgränser och {link}","codex.legal.powered.details.link":"inställningar för träningsdata","codex.legal.powered.title":"Baseras på ditt ChatGPT-konto","codex.legal.step.cloud.subtitle":"Skicka uppgifter som Codex kan köra i bakgrunden, så att du kan fokusera och arbeta snabbare.","codex.legal.step.cloud.title":"Delegera till Codex i molnet","codex.legal.step.intro.subtitle":"Codex navigerar, redigerar, kör kommandon och utför tester direkt i ditt kodförråd. Baseras på ditt ChatGPT-konto.","codex.legal.step.intro.title":"Codex i din IDE","codex.legal.step.todo.subtitle":"Skriv en TODO-kommentar och konvertera den till en Codex-uppgift med ett enda klick.","codex.legal.step.todo.title":"Omvandla TODO-kommentarer till Codex-uppgifter","codex.legal.todo.heading":"// TODO: implementera schema","codex.localConversation.closeImagePreview":"Stäng förhandsgranskning av bild","codex.localConversation.userImageAttachment":"Användarbilaga","codex.localTaskRow.archiveTask":"Arkivera tråd","codex.localTaskRow.awaitingApproval":"Väntar på godkännande","codex.localTaskRow.awaitingResponse":"Väntar på svar","codex.localTaskRow.confirmArchiveTask":"Bekräfta","codex.loggedOut.apiKeyPrompt.cancel":"Avbryt","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Hämta API-nyckel","codex.loggedOut.apiKeyPrompt.inputLabel":"Ange din API-nyckel för OpenAI","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Molnuppgifter är inaktiverade med API-nyckel","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Molnuppgifter är inaktiverade med Copilot och API-nyckel","codex.loggedOut.signIn":"Logga in med ChatGPT","codex.loggedOut.signIn.cancel":"Avbryt inloggning","codex.loggedOut.signInWithCopilot":"Logga in med GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Använd API-nyckel","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} verktyg","codex.mcpTool.collapsedLabel.verb.called":"Anropade","codex.mcpTool.collapsedLabel.verb.calling":"Anropar","codex.mcpTool.embeddedResource.contentLabel":"Innehåll","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME-typ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Verktyget returnerade inget innehåll","codex.mcpTool.rawPayloadHeading":"Rå {server}. Nyttolast för {tool}-verktygsanrop","codex.menu.recent":"Senaste","codex.menu.seeAllHistory":"Se all historik","codex.modelCapacityBanner.headline.noReset":"{modelName} har nått sin kapacitet för stunden. Försök igen senare eller inled ett nytt samtal med en annan modell.","codex.modelCapacityBanner.headline.withReset":"{modelName} har nått sin kapacitet för stunden. Försök igen efter {resetDate} eller inled ett nytt samtal med en annan modell.","codex.modelCapacityBanner.title":"Den valda modellen har nått sin kapacitet","codex.patch.change.contentsDeleted":"Innehåll har raderats","codex.patch.change.created":"Skapad","codex.patch.change.created-file":"Skapad fil","codex.patch.change.creating":"Skapar","codex.patch.change.deleted":"Raderad","codex.patch.change.deleted-file":"Raderad fil","codex.patch.change.deleting":"Raderar","codex.patch.change.edited":"Redigerade","codex.patch.change.edited-file":"Redigerad fil","codex.patch.change.editing":"Redigerar","codex.patch.change.noChanges":"Inga ändringar","codex.patch.change.rejected-add":"Avvisades","codex.patch.change.rejected-delete":"Avvisades","codex.patch.change.rejected-edit":"Avvisades","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} av {total} uppgifter har slutförts","codex.plan.todoListCreated":"Att göra-lista har skapats med {total} uppgifter","codex.profileDropdown.apiKeyAuth":"Inloggad med API-nyckel","codex.profileDropdown.codexSettings":"Codex-inställningar","codex.profileDropdown.copilotAuth":"Inloggad med Copilot","codex.profileDropdown.defaultAccountTitle":"Standardkonto","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Retur för att skicka långa prompter","codex.profileDropdown.enterBehaviorError":"Det gick inte att uppdatera inställningen","codex.profileDropdown.getPlus":"Uppgradera för högre gränser","codex.profileDropdown.keyboardShortcuts":"Tangentbordsgenvägar","codex.profileDropdown.language":"Språk","codex.profileDropdown.languageDefault":"Upptäck automatiskt","codex.profileDropdown.languageSearchPlaceholder":"Sök efter språk","codex.profileDropdown.languageUpdateError":"Det gick inte att uppdatera språket","codex.profileDropdown.logOut":"Logga ut","codex.profileDropdown.mcp":"MCP-inställningar","codex.profileDropdown.openConfigToml":"Öppna config.toml","codex.profileDropdown.openConfigToml.wsl":"Öppna config.toml i WSL-miljö","codex.profileDropdown.openExtensionSettings":"Öppna inställningarna","codex.profileDropdown.openMcpSettings":"Öppna MCP-inställningar","codex.profileDropdown.openOnStartup":"Öppna vid start","codex.profileDropdown.openOnStartupError":"Det gick inte att uppdatera inställningen","codex.profileDropdown.openSkillsSettings":"Öppna inställningar för färdigheter","codex.profileDropdown.personalAccountTitle":"Personligt konto","codex.profileDropdown.queueFollowUps":"Köa uppföljningar","codex.profileDropdown.queueFollowUpsError":"Det gick inte att uppdatera inställningen","codex.profileDropdown.readDocs":"Läs dokument","codex.profileDropdown.readSkillsDocs":"Läs dokument","codex.profileDropdown.runInWsl":"Kör i WSL","codex.profileDropdown.runInWslError":"Det gick inte att uppdatera inställningen","codex.profileDropdown.runInWslTooltip":"Kör Codex i WSL. Rekommenderas för bättre säkerhet i sandlådan och bättre prestanda.","codex.profileDropdown.settings":"IDE-inställningar","codex.profileDropdown.settingsPage":"Inställningar","codex.profileDropdown.signInWithOpenAI":"Logga in med ChatGPT","codex.profileDropdown.skills":"Inställningar för färdigheter","codex.profileDropdown.switchToCopilotAccount":"Använd Copilot-konto","codex.profileDropdown.switchToOpenAIAccount":"Använd OpenAI-konto","codex.profileDropdown.todoCodelens":"Åtgärda TODO-kommentarer","codex.profileDropdown.todoCodelensError":"Det gick inte att uppdatera inställningen","codex.profileDropdown.windowsDocumentation":"Windows-dokumentation","codex.profileFooter.signedInFallback":"Inställningar","codex.profileFooter.upgrade":"Uppgradera","codex.recentTasksMenu.clearSearch":"Rensa sökningen","codex.recentTasksMenu.cloud":"Molnuppgifter","codex.recentTasksMenu.count":"{count, plural, =0 {Inga uppgifter pågår} one {# uppgift pågår} other {# uppgifter pågår}}","codex.recentTasksMenu.empty":"Inga trådar än","codex.recentTasksMenu.errorCloud":"Det gick inte att ladda uppgifter.","codex.recentTasksMenu.errorCloud.inline":"Det gick inte att ladda molnuppgifter.","codex.recentTasksMenu.filterAll":"Alla","codex.recentTasksMenu.filterCloudTasks":"Filtrera molnuppgifter","codex.recentTasksMenu.filterTooltip":"Filtrera uppgifter efter miljö","codex.recentTasksMenu.local":"Lokala uppgifter","codex.recentTasksMenu.recent":"Alla uppgifter","codex.recentTasksMenu.search":"Sök senaste uppgifter","codex.recentTasksMenu.searchEmpty":"Inga resultat","codex.recentTasksMenu.tooltip":"Uppgiftshistorik","codex.recentTasksMenu.trigger":"Senaste uppgifter. {count, plural, one {# pågår} other {# pågår}}","codex.remoteConversation.applyDiff.applyCta":"Tillämpa ändringar","codex.remoteConversation.applyDiff.dropdownTitle":"Tillämpa ändringar på en lokal gren","codex.remoteConversation.applyDiff.revertCta":"Återställ ändringar","codex.remoteConversation.closeImagePreview":"Stäng förhandsgranskning av bild","codex.remoteConversation.codexCloudTask":"Du visar en <u>Codex-molnuppgift</u>","codex.remoteConversation.errorWithMessage":"Fel: {message}","codex.remoteConversation.loadingImage":"Laddar bild","codex.remoteConversation.openInWeb":"Öppna på webben","codex.remoteConversation.streaming":"Sätter igång","codex.remoteConversation.turnFailed":"Ett fel uppstod under den här uppgiften","codex.remoteConversation.turnTab.loading":"Försök {number}","codex.remoteConversation.turnTab.title":"Försök {number}","codex.remoteConversation.userImageAttachment":"Användarbilaga","codex.remoteConversation.viewPreviousTurns":"Öppna på webben","codex.remoteConversation.viewPreviousTurns.buttonText":"Öppna","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Öppna på webben","codex.review.copyGitApplyCommand":"Kopiera kommando för git-tillämpning","codex.review.copyGitApplyCommand.toast":"Kopierade git-tillämpningskommando till urklipp","codex.review.diffTooLarge.description":"Denna diff är för stor att visa i Granskning.","codex.review.diffTooLarge.title":"Denna diff är för stor att visas","codex.review.expandOrCollapseDiffButton.collapse":"Stäng alla diffs","codex.review.expandOrCollapseDiffButton.expand":"Expandera alla diffs","codex.review.expandOrCollapseDiffMenu.collapse":"Stäng alla diffs","codex.review.expandOrCollapseDiffMenu.expand":"Expandera alla diffs","codex.review.fileSearch.clear":"Rensa filtret för filer","codex.review.fileSearch.empty":"Inga filer matchar det aktuella filtret.","codex.review.fileSearch.label":"Filtrera filer","codex.review.fileSearch.placeholder":"Filtrera filer …","codex.review.filesChanged":"{num, plural, =0 {Inga filer har ändrats} one {# fil har ändrats} other {# filer har ändrats}}","codex.review.find.loadMore":"Ladda fler träffar","codex.review.fullReview.hideFileTree":"Dölj filträd","codex.review.fullReview.showFileTree":"Visa filträd","codex.review.header.moreOptions":"Granskningsalternativ","codex.review.largeDiff.banner":"Stor diff har upptäckts – visar en fil åt gången.","codex.review.loadFullFiles.disable":"Ladda inte hela filer","codex.review.loadFullFiles.enable":"Ladda hela filer","codex.review.noDiff":"Filändringar visas här","codex.review.noDiff.gitInit.createRepository":"Skapa Git-kodförråd","codex.review.noDiff.gitInit.creating":"Skapar …","codex.review.noDiff.gitInit.error":"Git init misslyckades: {message}","codex.review.noDiff.gitInit.success":"Git-kodförråd har skapats","codex.review.noDiff.gitRepoRequired.description":"Registrera och ångra ändringar i det här projektet","codex.review.noDiff.gitRepoRequired.title":"Skapade ett Git-kodförråd","codex.review.noDiff.orNoLongerAvailable":"eller så är senaste diffs inte längre tillgängliga","codex.review.noDiff.reverted":"Den senaste vändningen har återställts","codex.review.noDiff.revertedOrCommitted":"Den senaste vändningen har antingen återställts eller överlämnats","codex.review.refreshGitQueries":"Uppdatera","codex.review.revert.file.error":"Det gick inte att återställa {path}","codex.review.revert.file.partialSuccess":"{path} har delvis återställts","codex.review.revert.file.success":"{path} har återställts","codex.review.revert.hunk.error":"Det gick inte att återställa hunk {hunkNumber} i {path}.","codex.review.revert.hunk.partialSuccess":"Hunk {hunkNumber} i {path} har delvis återställts","codex.review.revert.hunk.success":"Hunk {hunkNumber} i {path} har återställts","codex.review.revert.section.error":"Det gick inte att återställa sektionen","codex.review.revert.section.partialSuccess":"Sektionen har delvis återställts","codex.review.revert.section.success":"Sektionen har återställts","codex.review.revertDialog.cancel":"Avbryt","codex.review.revertDialog.confirm":"Bekräfta","codex.review.revertDialog.message":"Denna åtgärd raderar alla dessa ändringar.","codex.review.revertDialog.skip":"Fråga inte igen","codex.review.revertDialog.title":"Återställ ändringar?","codex.review.richPreview.disable":"Inaktivera formaterad förhandsgranskning","codex.review.richPreview.enable":"Aktivera formaterad förhandsgranskning","codex.review.source.cloud":"Molnändringar","codex.review.source.local.all":"Alla grenändringar","codex.review.source.local.lastTurn":"Ändringar i senaste vändningen","codex.review.source.local.uncommitted":"Icke-överlämnade ändringar","codex.review.source.worktree":"Icke-överlämnade ändringar i arbetsträd","codex.review.stageFilter.empty.staged.description":"Godkänn ändringar som du vill staga","codex.review.stageFilter.empty.staged.title":"Inga stagade ändringar","codex.review.stageFilter.empty.unstaged.description":"Kodändringar visas här","codex.review.stageFilter.empty.unstaged.title":"Inga avstagade ändringar","codex.review.stageFilter.staged":"Stagade","codex.review.stageFilter.staged.count":"Stagade · {count}","codex.review.stageFilter.unstaged":"Avstagade","codex.review.stageFilter.unstaged.count":"Avstagade · {count}","codex.review.switchToSplit":"Växla till delad diff","codex.review.switchToUnified":"Växla till enhetlig diff","codex.review.toggleDiffView":"Växla diff-vy","codex.review.wordDiffs.disable":"Inaktivera diffs på ordnivå","codex.review.wordDiffs.enable":"Aktivera diffs på ordnivå","codex.review.wrap.disable":"Inaktivera radbrytning","codex.review.wrap.enable":"Aktivera radbrytning","codex.section.patch.missing":"Det gick inte att bygga en patch för denna sektion.","codex.shell.collapse":"Dölj skal","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Skalinnehåll har kopierats","codex.shell.copy.copyTooltip":"Kopiera skalinnehåll","codex.shell.copyCommand":"Kopiera kommando","codex.shell.copyOutput":"Kopiera utdata","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Visa skal","codex.shell.name":"Skal","codex.shell.noOutput":"Inga utdata","codex.signInFailed.message":"Inloggningen misslyckades: {rawMessage}","codex.stories.toast.show":"Visa toast","codex.stories.tooltip.basic":"Detta är ett verktygstips","codex.stories.tooltip.hoverMe":"Hovra över mig","codex.stories.tooltip.largerOffset":"Detta verktygstips har en större förskjutning","codex.stories.tooltip.offsetButton":"Större förskjutning","codex.stories.tooltip.shortcutButton":"Med genväg","codex.stories.tooltip.withShortcut":"Visa/dölj terminal","codex.taskRow.title":"Ny tråd","codex.taskRowLayout.confirm":"Bekräfta","codex.threadFindBar.chatFilter":"Sök i chatt","codex.threadFindBar.close":"Stäng Hitta","codex.threadFindBar.diffFilter":"Sök efter diffs","codex.threadFindBar.label":"Hitta i tråd","codex.threadFindBar.nextResult":"Nästa resultat","codex.threadFindBar.noResults":"0 resultat","codex.threadFindBar.placeholder":"Sök tråd …","codex.threadFindBar.placeholder.extension":"Sök tråd …","codex.threadFindBar.placeholder.review":"Sök diff …","codex.threadFindBar.placeholder.review.extension":"Sök diff …","codex.threadFindBar.previousResult":"Föregående resultat","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# fil har ändrats} other {# filer har ändrats}}","codex.unifiedDiff.inlineLargeFile":"För stor att rendera inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Ångra","codex.unifiedDiff.revertPatchError":"Det gick inte att ångra ändringen","codex.unifiedDiff.revertPatchSuccess":"Ändringarna har ångrats","codex.unifiedDiff.reviewChangesSuffix":"ändringar","codex.unifiedDiff.reviewShort":"Granska","codex.unifiedDiff.viewDiffTooltip":"Granska","codex.upsellBanner.business.headline":"Skicka en förfrågan till din administratör om du behöver mer åtkomst redan nu, eller vänta tills {resetDate}.","codex.upsellBanner.cbp.headline":"Skicka en förfrågan till din administratör om du behöver mer åtkomst redan nu.","codex.upsellBanner.cta.addCredits":"Lägg till krediter","codex.upsellBanner.cta.upgradeAccount":"Uppgradera","codex.upsellBanner.cta.viewUsage":"Se användning","codex.upsellBanner.free.trialHeadline":"Din frekvensgräns återställs {resetDate}. Starta din gratis provperiod med Plus idag för att fortsätta använda Codex och få åtkomst till GPT-5.3-Codex.","codex.upsellBanner.freeOrGo.headline":"Din frekvensgräns återställs {resetDate}. Uppgradera till Plus idag för att fortsätta använda Codex.","codex.upsellBanner.general.headline":"Din frekvensgräns återställs {resetDate}.","codex.upsellBanner.general.title":"Du har inga Codex-meddelanden kvar","codex.upsellBanner.go.trialHeadline":"Din frekvensgräns återställs {resetDate}. Starta din gratis provperiod med Plus idag för att fortsätta använda Codex.","codex.upsellBanner.plus.headline":"Din frekvensgräns återställs {resetDate}. Lägg till krediter eller uppgradera till Pro idag för att fortsätta använda Codex.","codex.upsellBanner.pro.headline":"Din frekvensgräns återställs {resetDate}. Lägg till krediter för att fortsätta använda Codex nu.","codex.userMessage.autoResolveSync":"Åtgärda konflikter automatiskt","codex.userMessage.commentCount":"{count, plural, one {# kommentar} other {# kommentarer}}","codex.userMessage.copiedAriaLabel":"Kopierat","codex.userMessage.copiedTooltip":"Kopierat","codex.userMessage.copyAriaLabel":"Kopiera meddelandet","codex.userMessage.copyTooltip":"Kopiera","codex.userMessage.implementPlan":"Implementera plan","codex.userMessage.noContent":"(Inget innehåll)","codex.userMessage.priorConversation":"Hänvisar till tidigare samtal","codex.userMessage.reviewMode":"Granskningsläge","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"för {query}","codex.webSearch.summary.verb.completed":"Sökte på webben","codex.webSearch.summary.verb.inProgress":"Söker på webben","codex.windowsInstallWslBanner.dismiss":"Stäng","codex.windowsInstallWslBanner.installWslCta":"Aktivera sandlåda","codex.windowsInstallWslBanner.learnMore":"Läs mer","codex.windowsSandboxBanner.content":"Agentläge använder en experimentell sandlåda i Windows för att begränsa åtkomst till filsystem och nätverk. {sandboxLink}","codex.windowsSandboxBanner.title":"Aktivera sandlåda för agentläge","codex.windowsSubDropdown.windowsSandbox":"Windows-sandlåda","codex.windowsSubDropdown.windowsSettings":"Windows-inställningar","codexUpgradeModal.body":"Vår senaste, toppmoderna agentiska kodningsmodell – smartare, snabbare och bättre på att hantera allmänt tekniskt arbete. {link}","codexUpgradeModal.close":"Stäng","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Läs mer","codexUpgradeModal.title":"Vi presenterar: GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Prova GPT-5.3-Codex nu","codexUpgradeModal.useExistingModel":"Fortsätt med nuvarande modell","commentAttachments.numComments":"{count, plural, one {# kommentar} other {# kommentarer}}","commentAttachments.removeAriaLabel":"Ta bort kommentarsbilaga","common.close":"Stäng","composer.addContext.openFilePickerError":"Det gick inte att öppna filväljaren","composer.addContextDropdown.ariaLabel":"Lägg till filer med mera","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Lägg till filer med mera","composer.addPhotosAndFiles":"Lägg till foton och filer","composer.atMentionList.emptyQuery":"Skriv för att söka efter filer","composer.atMentionList.loading":"Söker…","composer.atMentionList.noResults":"Inga resultat","composer.attemptsSelector.option":"{count, plural, one {# version} other {# versioner}}","composer.attemptsSelector.tooltip":"Antal parallella försök som Codex ska göra","composer.attemptsSelector.trigger":"{count} x","composer.backgroundTerminals.stop":"Stoppa","composer.cloudFollowUp.cloud":"Moln","composer.cloudFollowUp.local":"Lokalt","composer.cloudFollowUp.whereRun":"Var ska uppföljningen köras?","composer.cloudTaskCreationError":"Fel när molnuppgiften skulle skapas","composer.cloudTaskError":"Fel när uppgiften skulle skapas","composer.contextWindow.autoCompactionTooltipLine1":"Codex komprimerar sin kontext automatiskt","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Kontextfönster:","composer.contextWindowUsageStatusFull":"{usage} % fullt","composer.contextWindowUsageStatusLeft":"{usage} % används ({remaining} % kvar)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k tokens används","composer.customCliTooltip":"Använder ett anpassat körbart CLI-program","composer.dictation.aria":"Diktera","composer.dictation.cancel.aria":"Sluta diktera","composer.dictation.cancel.tooltip":"Sluta diktera","composer.dictation.startError":"Det gick inte att starta diktering","composer.dictation.submit.aria":"Transkribera och skicka","composer.dictation.submit.tooltip":"Transkribera och skicka","composer.dictation.tooltip":"Håll för att diktera","composer.dictation.transcribeError":"Det gick inte att transkribera ljud","composer.dictation.unsupported":"Diktering är inte tillgängligt på den här enheten","composer.dropOverlay.holdShift":"Håll ned {key} för att släppa","composer.dropOverlay.shiftKey":"Skift","composer.environmentSelector.createNew":"Skapa ny","composer.environmentSelector.error":"Ett fel uppstod när miljöer skulle laddas","composer.environmentSelector.goBack":"Tillbaka till kompositören","composer.environmentSelector.title":"Välj miljö","composer.environmentSelector.tooltip":"Välj en molnmiljö","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Välj en fil","composer.filePicker.selectFiles":"Välj filer","composer.followerTooltip":"Återgå till fönstret där samtalet startade för att fortsätta.","composer.footer.branchSwitch.checkoutError":"Det gick inte att byta gren: {message}","composer.footer.branchSwitch.createAndCheckout":"Skapa och checka ut ny gren …","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Överlämna ändringar för att skapa och checka ut en ny gren","composer.footer.branchSwitch.createBranchError":"Det gick inte att skapa gren: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Grenens namn","composer.footer.branchSwitch.createDialog.branchExistsError":"Grenen finns redan.","composer.footer.branchSwitch.createDialog.close":"Stäng","composer.footer.branchSwitch.createDialog.createAndCheckout":"Skapa och checka ut","composer.footer.branchSwitch.createDialog.placeholder":"ny-gren","composer.footer.branchSwitch.createDialog.title":"Skapa och checka ut gren","composer.footer.branchSwitch.createDialog.trailingSlashError":"Namn på grenar får inte sluta med ”/”.","composer.footer.branchSwitch.tooltip":"Byt gren","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Överlämna ändringar i {fileCount, plural, one {# fil} other {# filer}} för att checka ut {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Överlämna","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"ändringar i {fileCount, plural, one {# fil} other {# filer}} för att checka ut {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Avbryt","composer.footer.branchSwitch.uncommittedDialog.commit":"Överlämna och byt gren …","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Dina ändringar av följande filer skrivs över vid utcheckning:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Överlämna ändringarna för att fortsätta","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"den valda grenen","composer.footer.branchSwitch.uncommittedDialog.title":"Överlämna ändringar för att byta gren","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Icke-överlämnade: {fileCount, plural, one {# fil} other {# filer}}","composer.forkSlashCommand.description":"Kopiera denna tråd lokalt eller till ett nytt arbetsträd","composer.forkSlashCommand.option.local.description":"Fortsätt i en ny lokal tråd","composer.forkSlashCommand.option.local.title":"Kopiera lokalt","composer.forkSlashCommand.option.worktree.description":"Fortsätt i ett nytt arbetsträd","composer.forkSlashCommand.option.worktree.title":"Kopiera till nytt arbetsträd","composer.forkSlashCommand.title":"Förgrening","composer.ideContextIndicator":"IDE-kontext","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Inkludera kontext från IDE","composer.ideContextIndicator.tooltipToggle":"för att växla","composer.ideContextSlashCommand.disableDescription":"Stäng av IDE-kontext","composer.ideContextSlashCommand.enableDescription":"Inkludera aktuellt val, öppna filer och annan kontext från din IDE","composer.ideContextSlashCommand.title":"IDE-kontext","composer.imageInputsUnsupported":"Denna modell har inte stöd för bildindata. Prova med en annan modell.","composer.imageUploadFailed":"Det gick inte att ladda upp bilden","composer.includeIdeContextDropdown":"Inkludera IDE-kontext","composer.includeIdeContextDropdown.ariaLabel":"Inkludera IDE-kontext","composer.localCwdDropdown.addWorkspaceRoot":"Lägg till nytt projekt","composer.localCwdDropdown.noActiveRoot":"Välj ditt projekt","composer.localCwdDropdown.noResults":"Inga mappar hittades","composer.localCwdDropdown.title":"Välj ditt projekt","composer.localTaskError":"Fel när samtal skulle inledas","composer.mcpSlashCommand.description":"Visa MCP-serverstatus","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Ej autentiserad","composer.mcpStatus.authOauth":"Autentiserad (OAuth)","composer.mcpStatus.authToken":"Autentiserad (API-nyckel)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Stäng","composer.mcpStatus.disabled":"Inaktiverade","composer.mcpStatus.emptyLabel":"Servrar:","composer.mcpStatus.emptyValue":"Inga MCP-servrar har konfigurerats","composer.mcpStatus.enabled":"Aktiverad","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Det gick inte att ladda MCP-status","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Byt läge","composer.mode.agentMode.custom":"Anpassad","composer.mode.agentMode.custom.dropdownLabel":"Anpassad","composer.mode.agentMode.custom.option":"Anpassad (config.toml)","composer.mode.agentMode.custom.optionLabel":"Anpassad (config.toml)","composer.mode.agentMode.customInfo.cancel":"Avbryt","composer.mode.agentMode.customInfo.cli":"Du kan justera dessa inställningar från CLI eller genom att redigera filen direkt.","composer.mode.agentMode.customInfo.confirm":"Använd anpassat läge","composer.mode.agentMode.customInfo.description":"I anpassat läge tillämpas de godkännande- och sandlådepolicyer som definierats i <link>config.toml</link>-filen.","composer.mode.agentMode.customInfo.docs":"Läs mer om att konfigurera godkännande- och sandlådepolicyer i <link>dokumentationen om exekveringsmiljö</link>.","composer.mode.agentMode.customInfo.refresh":"Alla ändringar börjar gälla nästa gång agenten körs.","composer.mode.agentMode.customInfo.title":"Så fungerar anpassat läge","composer.mode.agentMode.fullAccess":"Agent (full åtkomst)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (full åtkomst)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (full åtkomst)","composer.mode.agentMode.fullAccessConfirm.caution":"Var försiktig med att tillåta full åtkomst. Det innebär en betydligt större risk för förlust av data, dataläckor eller oförutsett beteende.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ja, fortsätt ändå","composer.mode.agentMode.fullAccessConfirm.description":"När Codex körs med full åtkomst kan alla filer på din dator redigeras och kommandon köras utan ditt godkännande.","composer.mode.agentMode.fullAccessConfirm.goBack":"Avbryt","composer.mode.agentMode.fullAccessConfirm.title":"Tillåt full åtkomst?","composer.mode.agentMode.readOnly":"Chatt","composer.mode.agentMode.readOnly.dropdownLabel":"Chatt","composer.mode.agentMode.readOnly.optionLabel":"Chatt","composer.mode.agentMode.tooltip":"Byt läge","composer.mode.agentMode.tooltip.auto":"Läs och redigera filer, och kör kommandon.","composer.mode.agentMode.tooltip.custom":"Använd de senaste godkännande- och sandlådepolicyerna som definieras i config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex kan redigera filer utanför projektet och köra kommandon med nätverksåtkomst. Använd med försiktighet.","composer.mode.agentMode.tooltip.readOnly":"Kräver godkännande för att redigera filer och köra kommandon.","composer.mode.cloud.tooltip":"Arbeta i en molnmiljö","composer.mode.contactAdmin":"Kontakta administratören för att få mer åtkomst","composer.mode.local":"Lokalt","composer.mode.local.learnMore":"Läs mer","composer.mode.local.model.custom":"Anpassad","composer.mode.local.model.loadingModel":"Laddar modell","composer.mode.local.model.selecrReasoningEffort":"Välj resonemang","composer.mode.local.model.selectModel":"Välj modell","composer.mode.local.model.tooltip":"Välj modell","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Hög","composer.mode.local.reasoning.low.label":"Låg","composer.mode.local.reasoning.medium.label":"Medel","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Ingen","composer.mode.local.reasoning.xhigh.label":"Extra hög","composer.mode.localRemoteWhereRun":"Välj var uppgiften ska köras","composer.mode.newTask.header":"Fortsätt i","composer.mode.rateLimit.day":"{days} dag","composer.mode.rateLimit.heading":"Återstående frekvensgränser","composer.mode.rateLimit.hour":"{hours} tim","composer.mode.rateLimit.minute":"{minutes} min","composer.mode.rateLimit.modelSectionLabel":"{modelName}-gräns:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {veckovis gräns} other {{weeks}-veckors gräns}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Veckovis} other {{weeks}-veckors}}","composer.mode.remote.connectToCloud":"Anslut Codex-webb","composer.mode.remote.connectToCloudDisabledTooltip":"Konfigurera en miljö via Codex-webb för att kunna skicka uppgifter till molnet","composer.mode.remote.selectEnvironment":"Välj miljö","composer.mode.remote.sendToCloud":"Skicka till molnet","composer.mode.remote.setupViaWeb":"Konfigurera en miljö via Codex-webb","composer.mode.runInCloud":"Moln","composer.mode.runInCloudWithEnvironment":"Moln · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Arbeta i molnmiljö","composer.mode.segmentedToggle.local.tooltip":"Arbeta i ditt lokala projekt","composer.mode.segmentedToggle.worktree.tooltip":"Arbeta i ett parallellt arbetsträd","composer.mode.upgradeToPlus":"Uppgradera till Plus","composer.mode.upgradeToPro":"Uppgradera till Pro","composer.mode.workLocally":"Lokalt projekt","composer.mode.workLocally.currentBranchFallback":"din gren","composer.mode.workLocally.tooltip":"Arbeta på {branchName}","composer.mode.worktree":"Nytt arbetsträd","composer.mode.worktree.submoduleWarning":"Detta kodförråd har git-undermoduler. Det kanske inte går att skapa arbetsträd","composer.mode.worktree.tooltip":"Skapa en kopia av ditt lokala projekt för att arbeta parallellt","composer.mode.worktreeSegment":"Arbetsträd","composer.modelChangeDuringConversationWarning.toast":"Du får sämre resultat om du byter modell mitt i ett samtal.","composer.newChat.heading.browser":"Vad ska vi koda nu?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex använder de behörigheter som definieras i config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex har fullständig åtkomst till din dator (förhöjd risk)","composer.permissionsDropdown.custom.label":"Anpassad (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Anpassad (config.toml)","composer.permissionsDropdown.default.label":"Standardbehörigheter","composer.permissionsDropdown.default.optionLabel":"Standardbehörigheter","composer.permissionsDropdown.default.tooltip":"Codex kör automatiskt kommandon i en sandlåda","composer.permissionsDropdown.disabled.requirements":"Behörigheter är låsta av requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Full åtkomst är inaktiverat på grund av requirements.toml","composer.permissionsDropdown.fullAccess.label":"Full åtkomst","composer.permissionsDropdown.fullAccess.optionLabel":"Full åtkomst","composer.permissionsDropdown.trigger.tooltip":"Ändra behörigheter","composer.personalitySlashCommand.description.friendly":"Varm, samarbetsvillig och hjälpsam","composer.personalitySlashCommand.description.pragmatic":"Kortfattad, uppgiftsfokuserad och direkt","composer.personalitySlashCommand.label.friendly":"Vänskaplig","composer.personalitySlashCommand.label.pragmatic":"Pragmatisk","composer.personalitySlashCommand.notApplicableSuffix":"(Gäller inte nuvarande modell)","composer.personalitySlashCommand.title":"Personlighet","composer.placeholder.cloudFollowUp.directFollowUp":"Uppföljning på denna molnuppgift","composer.placeholder.cloudFollowUp.local":"Skapa en ny lokal uppgift som hänvisar till denna molnuppgift","composer.placeholder.cloudFollowUp.workingTree":"Skapa en ny molnuppgift som innefattar din aktuella kod och hänvisar till denna uppgift","composer.placeholder.localFollowUp.cloud":"Uppföljning i en ny molnuppgift","composer.placeholder.localFollowUp.locally":"Be om uppföljningsändringar","composer.placeholder.newTask.cloud":"Be Codex att göra något i molnet","composer.placeholder.newTask.doAnything":"Be Codex att göra något","composer.placeholder.newTask.locally":"Fråga Codex vad som helst, @ för att lägga till filer, / för kommandon","composer.planModeDropdown":"Planläge","composer.planModeDropdown.ariaLabel":"Planläge","composer.planModeIndicator":"Abonnemang","composer.planModeIndicator.hintShortcut":"cmd + skift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Skapa en plan med Codex","composer.planModeIndicator.tooltipToggle":"för att växla","composer.planSlashCommand.disableDescription":"Stäng av planläge","composer.planSlashCommand.enableDescription":"Sätt på planläge","composer.planSlashCommand.title":"Planläge","composer.priorContext.label":"Föregående kontext","composer.priorContext.removeAriaLabel":"Ta bort föregående kontext","composer.queuedMessage.delete":"Radera köat meddelande","composer.queuedMessage.edit":"Redigera meddelande","composer.queuedMessage.more":"Åtgärder för köat meddelande","composer.queuedMessage.sendNow":"Styr","composer.queuedMessage.sendNowTooltip":"Skicka nu utan att störa arbetet","composer.queuedMessage.turnOff":"Stäng av kö","composer.reasoningEffort.local.reasoning.tooltip":"Välj resonemangsnivå","composer.remote.branchStartingPoint":"Vilken gren ska den här uppgiften starta från?","composer.remote.branchesSectionHeading":"Förgreningar","composer.remote.currentEditsSuffix.followUp":"Skapa en ny uppgift som hänvisar till denna molnuppgift.","composer.remote.currentEditsSuffix.useLocal":"med lokala kodändringar","composer.remote.directFollowUp":"Använd inte lokala ändringar","composer.remote.errorLoadingBranches":"Ett fel uppstod när grenar skulle laddas","composer.remote.fromBranch":"Från {branch}","composer.remote.fromCurrentBranch":"Från {branch} (aktuell)","composer.remote.loadingMoreBranches":"Laddar…","composer.remote.localFileStateHeading":"Tillstånd för lokal fil","composer.remote.localWorkingTree":"Använd lokala ändringar","composer.remote.startingPoint":"Vilken kod ska den här uppgiften starta från?","composer.reviewMode.branches.error":"Det gick inte att ladda grenar","composer.reviewMode.branches.retry":"Försök igen","composer.reviewMode.gitRoot.error":"Git-rot hittades inte","composer.reviewMode.option.baseBranch.simple":"Granska gentemot en huvudgren","composer.reviewMode.option.unstaged.simple":"Granska icke-överlämnade ändringar","composer.reviewMode.quickReviewError":"Det gick inte att starta kodgranskning.","composer.reviewMode.title":"Granska kod","composer.sandboxButton.unlock.disabled.tooltip":"Full åtkomst är inaktiverat på grund av requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex kan använda en experimentell sandlåda i Windows för att begränsa åtkomst till filsystem och nätverk. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Aktivera Windows-sandlåda?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Använd skrivskyddat läge","composer.searchEnvironments":"Sök efter miljöer","composer.skillMentionList.app":"App","composer.skillMentionList.loading":"Laddar färdigheter …","composer.skillMentionList.noResults":"Inga färdigheter hittades","composer.slashCommands.cloudEnvironment.title":"Molnmiljö","composer.slashCommands.dialogLabel":"Meny för slash-kommandon","composer.slashCommands.dialogTitle":"Slash-kommandon","composer.slashCommands.disabledTooltip":"Inled ett nytt samtal för att använda slash-kommandon","composer.slashCommands.inputPlaceholder":"Sök","composer.slashCommands.noResults":"Inga kommandon","composer.slashCommands.skillsGroup":"Färdigheter","composer.slashCommands.tooltip":"Bläddra bland slash-kommandon","composer.status.close":"Stäng","composer.statusPlain.alertLabel":"Varning:","composer.statusPlain.alertValue":"{remaining} % kvar av {window}","composer.statusPlain.contextLabel":"Kontext:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} använda/{total})","composer.statusPlain.contextValueRemaining":"{remaining} % kvar","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName}-gräns:","composer.statusPlain.rateLimitDays":"Gräns för {count} d","composer.statusPlain.rateLimitFallbackLabel":"Frekvensgräns:","composer.statusPlain.rateLimitHours":"Gräns för {count} tim","composer.statusPlain.rateLimitLabelBase":"Frekvensgräns","composer.statusPlain.rateLimitMinutes":"Gräns för {count} min","composer.statusPlain.rateLimitPercent":"{remaining} % kvar","composer.statusPlain.rateLimitReset":"återställs {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"tid för återställning ej tillgänglig","composer.statusPlain.rateLimitUnavailable":"Ej tillgänglig","composer.statusPlain.sessionCopiedAriaLabel":"Sessions-ID har kopierats","composer.statusPlain.sessionCopiedTooltip":"ID har kopierats","composer.statusPlain.sessionCopyAriaLabel":"Kopiera sessions-ID","composer.statusPlain.sessionCopyTooltip":"Kopiera ID","composer.statusPlain.sessionLabel":"Session:","composer.statusSlashCommand.description":"Visa tråd-ID, kontextanvändning och frekvensgränser","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Det gick inte att skicka meddelandet","composer.submit.emptyMessage":"Ange ett meddelande för att komma igång","composer.submit.imageInputsUnsupported":"Ta bort bilder eller byt modell för att skicka det här meddelandet.","composer.submit.loadingLocalConfig":"Laddar…","composer.submit.missingCloudConfig":"Du måste välja en molnmiljö","composer.submit.missingCloudTurn":"Det går inte att göra en uppföljning på den här uppgiften","composer.submit.noWorkspace":"Lägg till ett projekt för att använda Codex","composer.submit.waitForImageUploads":"Bilderna laddas upp …","composer.submitButtonTooltip.send":"Skicka","composer.submitButtonTooltip.stop":"Stoppa","composer.worktreeEnvironment.create":"Skapa lokal miljö","composer.worktreeEnvironment.default":"Standardmiljö","composer.worktreeEnvironment.error":"Ett fel uppstod när miljöer skulle laddas","composer.worktreeEnvironment.loading":"Laddar miljöer …","composer.worktreeEnvironment.title":"Lokal miljö","composer.worktreeEnvironment.tooltip":"Välj en lokal miljö","composer.worktreeSetupFailed":"Det gick inte att konfigurera arbetsträdet. Du hittar ett konfigurationsskript i .codex/environments","compoundButton.secondaryAction":"Sekundär åtgärd","copyButton.copied":"Kopierat","copyButton.copiedAriaLabel":"Kopierat","copyButton.copy":"Kopiera","copyButton.copyAriaLabel":"Kopiera","copyButton.copyCode":"Kopiera kod","diff.actionButton.revertFile":"Återställ fil","diff.actionButton.revertHunk":"Ångra","diff.actionButton.revertSection":"Återställ alla","diff.actionButton.revertSectionLabel":"Återställ alla","diff.actionButton.stageFile":"Staga fil","diff.actionButton.stageHunk":"Staga","diff.actionButton.stageSection":"Staga alla","diff.actionButton.stageSectionLabel":"Staga alla","diff.actionButton.unstageFile":"Avstaga fil","diff.actionButton.unstageHunk":"Avstaga","diff.actionButton.unstageSection":"Avstaga alla","diff.actionButton.unstageSectionLabel":"Avstaga alla","diff.fileHeader.toggle":"Växla diff för fil","electron.onboarding.login.apikey.cancel":"Avbryt","electron.onboarding.login.apikey.continue":"Fortsätt","electron.onboarding.login.apikey.label":"API-nyckel för OpenAI","electron.onboarding.login.apikey.open":"Ange API-nyckel","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Avbryt inloggning","electron.onboarding.login.chatgpt.continue":"Fortsätt med ChatGPT","electron.onboarding.login.devbox":"Anslut till en fjärr-SSH","electron.onboarding.login.error":"Inloggningen misslyckades: {rawMessage}","electron.onboarding.login.snake.start":"Spela Snake","electron.onboarding.login.sshConfig.cancel":"Avbryt","electron.onboarding.login.sshConfig.continue":"Fortsätt","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Det bästa sättet att bygga med agenter","electron.onboarding.login.title":"Välkommen till Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Fortsätt","electron.onboarding.welcome.doubleLimits.description":"För att fira lanseringen av Codex-appen får du dubbelt så höga frekvensgränser fram till den 2 april.","electron.onboarding.welcome.freego.description":"Codex ingår i ditt abonnemang utan kostnad fram till den 2 mars – nu bygger vi tillsammans.","electron.onboarding.welcome.new.title.anon":"Välkommen!","electron.onboarding.workspace.continue":"Fortsätt","electron.onboarding.workspace.empty":"Lägg till ett projekt för att fortsätta.","electron.onboarding.workspace.listLabel":"Tillgängliga projekt","electron.onboarding.workspace.loading":"Laddar projekt …","electron.onboarding.workspace.openFolder":"Lägg till projekt","electron.onboarding.workspace.selectAll":"Markera allt","electron.onboarding.workspace.skip":"Hoppa över","electron.onboarding.workspace.skip.error":"Det gick inte att skapa ett nytt projekt: {message}","electron.onboarding.workspace.skip.error.unknown":"Okänt fel","electron.onboarding.workspace.skipping":"Skapar ett nytt projekt …","electron.onboarding.workspace.subtitle":"Codex kommer att kunna redigera filer och köra kommandon i markerade mappar.","electron.onboarding.workspace.title":"Välj ett projekt","errorPage.list.checkSettings":"Prova att uppdatera dina IDE-inställningar","errorPage.list.configToml":"Se om det finns ogiltiga inställningar i config.toml","errorPage.list.downloadExtension":"Prova att ladda ner en annan version av tillägget","errorPage.list.runInWsl":"Kontrollera dina inställningar och inaktivera körning i WSL om du har problem med kompatibilitet","execApprovalRequest.menu.runAlways":"Ja, och fråga inte igen under den här sessionen","execApprovalRequest.menu.runAlwaysWithAmendment":"Ja, och fråga inte igen för kommandon som börjar med {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ja, och fråga inte igen för kommandon som börjar med","execApprovalRequest.menu.runOnce":"Ja","execApprovalRequest.prompt":"Vill du köra detta kommando?","execApprovalRequest.reject":"Nej","execFooter.exitCode":"Avslutningskod {code}","execFooter.exitCode.unknown":"okänd","execFooter.success":"Klart","feedback.dialog.category.badResult":"Dåligt resultat","feedback.dialog.category.bug":"Fel","feedback.dialog.category.goodResult":"Bra resultat","feedback.dialog.category.other":"Annan","feedback.dialog.descriptionPlaceholder":"Beskriv problemet här","feedback.dialog.dismiss":"Stäng","feedback.dialog.includeLogsLabel":"Inkludera loggar från aktuell Codex-session","feedback.dialog.submit":"Skicka","feedback.dialog.submitError":"Det gick inte att skicka in din feedback. Försök igen om en liten stund.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"befintligt öppet ärende","feedback.dialog.uploadedMessage.openIssue":"öppna ett GitHub-ärende","feedback.dialog.uploadedMessage.withThread":"Feedback har laddats upp. Du kan {openIssueLink} eller nämna trådens ID i en {existingIssueLink} om problemet kvarstår:","feedback.dialog.uploadedTitle":"Feedback har laddats upp.","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Ta bort {filename}","header.back":"Tillbaka","header.recentChats":"Uppgifter","header.recentTasks.seeAll":"Visa alla ({total})","home.header.getPlus":"Skaffa Plus","home.hero.letsBuild":"Nu bygger vi","homePage.mainContent":"Huvudinnehåll","imageAttachment.defaultName":"bild","imageAttachment.preview.close":"Stäng förhandsgranskning av bild","imageAttachment.removeAriaLabel":"Ta bort {filename}","implementPlanRequest.option.implement":"Ja, implementera den här planen","implementPlanRequest.prompt":"Implementera den här planen?","inbox.archived.deleteError":"Det gick inte att radera arkiverad körning","inbox.archived.deleteRun":"Radera arkiverad körning","inbox.archived.deleteSuccess":"Arkiverad tråd har raderats. Visa i <settingsLink>Arkiverade trådar</settingsLink>.","inbox.archived.inlineLabel.auto":"Den här tråden arkiverades automatiskt. <learnMoreLink>Läs mer</learnMoreLink>","inbox.archived.inlineLabel.manual":"Den här tråden har arkiverats.","inbox.archived.noMessageFound":"Inga meddelanden hittades","inbox.automations.createError":"Det gick inte att skapa automatisering","inbox.automations.deleteConfirm.cancel":"Avbryt","inbox.automations.deleteConfirm.confirm":"Radera automatisering","inbox.automations.deleteConfirm.description":"Detta raderar automatiseringen permanent och stoppar alla framtida körningar.","inbox.automations.deleteConfirm.title":"Radera {name}?","inbox.automations.deleteError":"Det gick inte att radera automatiseringen","inbox.automations.editTooltip":"Redigera automatisering","inbox.automations.inProgress":"Pågående","inbox.automations.new":"Ny","inbox.automations.newToolbar":"Ny automatisering","inbox.automations.pauseTooltip":"Pausa automatisering","inbox.automations.resumeTooltip":"Återuppta automatisering","inbox.automations.startingNow":"Startar nu","inbox.automations.startsIn":"Startar om {startTime}","inbox.automations.status.active":"Aktiv","inbox.automations.status.paused":"Pausad","inbox.automations.status.runs":"{count} körningar","inbox.automations.status.started":"Påbörjades {date}","inbox.automations.updateError":"Det gick inte att uppdatera automatiseringen","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Alla","inbox.filter.ariaLabel":"Filtrera objekt i inkorgen","inbox.filter.unread":"Olästa","inbox.list.archived":"Arkiverat","inbox.list.inProgress":"Pågående","inbox.list.recent":"Avslutade","inbox.list.upNext":"Schemalagda","inbox.mode.automations":"Automatiseringar","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Det finns ingen beskrivning","inbox.openThread":"Öppna tråd","inbox.rightPanel.emptySubtitle":"Automatisera arbetet genom att ställa in schemalagda uppgifter","inbox.rightPanel.emptySubtitle.learnMore":"Automatisera arbetet genom att ställa in schemalagda trådar. <link>Läs mer</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktiv automatisering} other {# aktiva automatiseringar}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Inga olästa automatiseringar","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# oläst automatisering} other {# olästa automatiseringar}}","inbox.rightPanel.emptyTitle":"Inget objekt har valts","inbox.rightPanel.noThread":"Objektet har ingen tråd","inbox.rightPanel.quickStart.header":"Börja med en mall","inbox.untitled":"Inkorgsobjekt utan titel","loadingPage.documentationLink":"dokumentation","loadingPage.errorDescription":"Codex kraschade med följande fel:","loadingPage.errorDescription.documentation":"Klicka på Läs in på nytt för att starta om Codex-tillägget eller gå till vår {documentationLink} för mer hjälp.","loadingPage.errorSignal":"Några steg du kan prova:","loadingPage.errorTitle":"Det har uppstått ett fel","loadingPage.openConfigToml":"Öppna Config.toml","loadingPage.reload":"Läs in på nytt","localConversation.contextCompacted":"Kontexten har komprimerats automatiskt","localConversation.contextCompacting":"Komprimerar kontext automatiskt","localConversation.forkedFromConversation":"Kopierad från {threadTitle}","localConversation.merge.autoResolve.failed":"Det gick inte att begära automatisk lösning: {error}","localConversation.merge.autoResolve.sent":"Begäran om automatisk lösning har skickats","localConversation.merge.autoResolveMerge.missingConversation":"Det går inte att lösa automatiskt utan ett aktivt samtal.","localConversation.merge.autoResolveMerge.request":"Lös sammanfogningskonflikterna automatiskt","localConversation.modelChanged":"Modellen har ändrats från {fromModel} till {toModel}.","localConversation.modelChanged.warning.line1":"Du får sämre resultat om du byter modell mitt i ett samtal.","localConversation.modelChanged.warning.line2":"Kontexten kan komma att komprimeras automatiskt.","localConversation.moveThread.createBranch.label":"Skapa gren","localConversation.moveToLocal.disabled.loading":"Laddar…","localConversation.moveToLocal.modal.continue":"Fortsätt","localConversation.moveToLocal.modal.destinationLabel":"Flytta till","localConversation.moveToLocal.modal.retry":"Försök igen","localConversation.moveToWorktree.modal.back":"Tillbaka","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Grenen finns redan.","localConversation.moveToWorktree.modal.branchesError":"Det gick inte att ladda grenar","localConversation.moveToWorktree.modal.branchesLoading":"Laddar grenar …","localConversation.moveToWorktree.modal.branchesRetry":"Försök igen","localConversation.moveToWorktree.modal.continue":"Fortsätt","localConversation.moveToWorktree.modal.retry":"Försök igen","localConversation.moveToWorktree.modal.trailingSlashError":"Namn på grenar får inte sluta med ”/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"ny-gren","localConversation.personalityChanged":"Bytte till personligheten {personality}","localConversation.planSummary.collapse":"Dölj sammanfattning av abonnemang","localConversation.planSummary.collapseTooltip":"Stäng","localConversation.planSummary.download":"Ladda ner plan","localConversation.planSummary.expand":"Visa sammanfattning av abonnemang","localConversation.planSummary.expandTooltip":"Expandera","localConversation.planSummary.openInNewWindow":"Öppna","localConversation.planSummary.openInNewWindow.tooltip":"Öppna i nytt fönster","localConversation.planSummary.title":"Abonnemang","localConversation.planSummary.titleWriting":"Skriver plan","localConversation.planSummary.viewPlan":"Visa abonnemang","localConversation.remoteTaskCreated":"Skapade {taskLink} i Codex Cloud","localConversation.remoteTaskCreated.task":"uppgift","localConversation.scrollToBottomButton":"Gå längst ner","localConversation.sync.buttonLabel":"Överför till lokal","localConversation.sync.buttonLabel.tooltip":"Överför ändringar mellan detta arbetsträd och din lokala utcheckning.","localConversation.sync.modal.loading.title":"Överför ändringar …","localConversation.sync.modal.noChanges":"Inga ändringar","localConversation.syncSetup.branchAriaLabel":"Grenens namn","localConversation.syncSetup.branchName":"Grenens namn","localConversation.syncSetup.branchPlaceholder.existing":"Välj befintlig gren","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Laddar grenar …","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Redan utcheckad","localConversation.syncSetup.checkoutClean":"För närvarande på {branchName}","localConversation.syncSetup.checkoutDirty":"För närvarande på {branchName} med icke-överlämnade ändringar","localConversation.syncSetup.checkoutError":"Det gick inte att checka ut grenen: {message}","localConversation.syncSetup.checkoutLabel":"Checka ut lokalt nu","localConversation.syncSetup.checkoutOnLocal":"Överför till lokal","localConversation.syncSetup.checkoutPending":"Kontrollerar lokal status …","localConversation.syncSetup.checkoutUnavailable":"Lokal arbetsyta är inte tillgänglig","localConversation.syncSetup.checkoutUnknown":"Lokal gren är inte tillgänglig","localConversation.syncSetup.continue":"Fortsätt","localConversation.syncSetup.createBranchError":"Det gick inte att ställa in överföringsgren: {message}","localConversation.syncSetup.error":"Något gick fel: {message}","localConversation.syncSetup.error.workingTreeMissing":"Det gick inte att ta en ögonblicksbild av arbetsträdet. Prova att överföra igen.","localConversation.syncSetup.mode.ariaLabel":"Välj läge för gren","localConversation.syncSetup.mode.existing":"Befintlig gren","localConversation.syncSetup.mode.new":"Ny gren","localConversation.syncSetup.noBranches":"Inga grenar hittades","localConversation.syncSetup.overwriteError":"Grenen har skapats men är inte helt och hållet överförd. Överför manuellt före utcheckning lokalt.","localConversation.syncSetup.setPrefix":"Ange prefix","localConversation.syncSetup.subtitle":"Testa och redigera ändringar av arbetsträdet lokalt <a>Läs mer</a>","localConversation.syncSetup.success.checkedOut":"Grenen har skapats och har checkats ut lokalt","localConversation.syncSetup.success.notCheckedOut":"Gren har skapats","localConversation.syncSetup.title":"Överför till en lokal gren","localConversation.syncWorktreeError.branchAriaLabel":"Grenens namn","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Välj en gren att överföra till och prova sedan att ladda ändringarna igen.","localConversation.syncWorktreeError.branchSetup.title":"Uppdatera gren","localConversation.syncWorktreeError.branchUpdate.cta":"Uppdatera och försök igen","localConversation.syncWorktreeError.branchUpdate.error":"Det gick inte att uppdatera gren: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Något gick fel: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Grenen är inte utcheckad i något arbetsträd.","localConversation.syncWorktreeV2.applyUncommitted":"Tillämpa","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Du måste check ut grenen lokalt för att tillämpa icke-överlämnade ändringar","localConversation.syncWorktreeV2.branches.empty":"Inga grenar hittades","localConversation.syncWorktreeV2.branches.loading":"Laddar grenar …","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Ändra överföringsgren","localConversation.syncWorktreeV2.changeBranch.error":"Det gick inte att ändra överföringsgren: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Tillämpning misslyckades","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Det gick inte att skriva över arbetsträdet","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Det gick inte att skriva över lokal","localConversation.syncWorktreeV2.commandError.back":"Tillbaka","localConversation.syncWorktreeV2.commandError.body":"Ett Git-kommando misslyckades vid överföring. Granska utdata och försök igen.","localConversation.syncWorktreeV2.commandError.retry":"Försök igen","localConversation.syncWorktreeV2.description":"Överföringsändringar mellan lokal och detta arbetsträd <a>Läs mer</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Välj riktning för överföring","localConversation.syncWorktreeV2.error.generic":"Något gick fel under överföringen. Försök igen.","localConversation.syncWorktreeV2.localBranchLabel":"Lokalt","localConversation.syncWorktreeV2.noChanges":"Beräknar ändringar","localConversation.syncWorktreeV2.noChanges.summary":"Inga ändringar","localConversation.syncWorktreeV2.overwrite.local":"Skriv över lokala ändringar","localConversation.syncWorktreeV2.overwrite.worktree":"Skriv över arbetsträdets ändringar","localConversation.syncWorktreeV2.partial.action.applyFailed":"Det gick inte att tillämpa ändringar","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Det gick inte att skriva över lokala ändringar","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Det gick inte att skriva över arbetsträdets ändringar","localConversation.syncWorktreeV2.partial.appliedLabel":"Tillämpas","localConversation.syncWorktreeV2.partial.back":"Tillbaka","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Åtgärda konflikter och försök igen.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Konflikter","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# fil} other {# filer}}","localConversation.syncWorktreeV2.partial.retry":"Försök igen","localConversation.syncWorktreeV2.partial.skippedLabel":"Hoppades över","localConversation.syncWorktreeV2.stateFailed.generic":"Något gick fel när arbetsträdets ändringar skulle hämtas till överföring. Försök igen.","localConversation.syncWorktreeV2.stateFailed.title":"Det gick inte att ladda arbetsträdet ändringar","localConversation.syncWorktreeV2.statusError.diffUnknown":"Det gick inte att ladda arbetsträdets ändringar.","localConversation.syncWorktreeV2.statusError.retry":"Försök igen","localConversation.syncWorktreeV2.statusError.title":"Det gick inte att ladda ändringar för lokal gren","localConversation.syncWorktreeV2.statusError.unknown":"Grenens status är inte tillgänglig just nu. Försök igen.","localConversation.syncWorktreeV2.success.apply":"Ändringarna har tillämpats","localConversation.syncWorktreeV2.success.overwrite":"Överföringen genomfördes","localConversation.syncWorktreeV2.title":"Överför ändringar","localConversation.syncWorktreeV2.worktreeLabel":"Arbetsträd","localConversation.userInputRequest.inProgress":"Ställer {count, plural, one {fråga} other {frågor}}","localConversation.userInputRequest.noAnswer":"Inget svar har angetts","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Ställde","localConversation.userInputRequest.summary.count":"{count, plural, one {# fråga} other {# frågor}}","localConversation.workedFor":"Arbetade i {time}","localConversation.worktreeBranchSetup.action.create":"Skapa","localConversation.worktreeBranchSetup.branchAriaLabel":"Grenens namn","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Skapa en ny gren","localConversation.worktreeBranchSetup.checkoutDisabled":"Den här grenen har redan checkats ut på {location}","localConversation.worktreeBranchSetup.checkoutError":"Det gick inte att checka ut grenen: {message}","localConversation.worktreeBranchSetup.createBranchError":"Det gick inte att ange grenen: {message}","localConversation.worktreeBranchSetup.error":"Något gick fel: {message}","localConversation.worktreeBranchSetup.subtitle":"Skapa en gren för att överlämna ändringar, skicka och skapa en hämtningsbegäran från det här arbetsträdet. <a>Läs mer</a>","localConversation.worktreeBranchSetup.title":"Arbeta här","localConversationPage.addWorktreeToSidebar.tooltip":"Spara som ett projekt, så att du kan starta nya trådar från det här arbetsträdet","localConversationPage.addWorktreeToSidebarError":"Det gick inte att lägga till projektet","localConversationPage.commitAndCreatePrModal.errorTitle":"Överlämna och skapa PR misslyckades","localConversationPage.commitAndCreatePrModal.successTitle":"Överlämnade och skapade PR","localConversationPage.commitAndPushModal.errorTitle":"Överlämning och push misslyckades","localConversationPage.commitAndPushModal.successTitle":"Överlämnade och pushade ändringar","localConversationPage.commitCreatePr.open":"Öppna hämtningsbegäran","localConversationPage.commitCreatePr.successTitle":"Skapade PR med dina senaste ändringar","localConversationPage.createBranchButtonLabel":"Gren här","localConversationPage.createPrModal.baseBranch":"Bas","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Skapa PR","localConversationPage.createPrModal.createDescription":"Öppna en hämtningsbegäran för dina senaste ändringar.","localConversationPage.createPrModal.errorTitle":"Hämtningsbegäran misslyckades","localConversationPage.createPrModal.headBranch":"Huvud","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Öppna PR","localConversationPage.createPrModal.successTitle":"Hämtningsbegäran har skapats","localConversationPage.createPrModal.title":"Skapa hämtningsbegäran","localConversationPage.createPrModal.viewDescription":"Det finns redan en hämtningsbegäran för denna gren.","localConversationPage.createPrModal.viewTitle":"Hämtningsbegäran är klar","localConversationPage.createPullRequestAuthGh":"Autentisera GitHub CLI: kör `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Det finns ingen information om grenen","localConversationPage.createPullRequestButtonLabel":"Skapa PR","localConversationPage.createPullRequestButtonLabel.loading":"Skapar PR …","localConversationPage.createPullRequestDefaultBranchMissing":"Det finns ingen information om standardgren","localConversationPage.createPullRequestError":"Det gick inte att skapa hämtningsbegäran","localConversationPage.createPullRequestExistingPullRequest":"Det finns redan en hämtningsbegäran för denna gren","localConversationPage.createPullRequestGhStatusMissing":"Laddar status för GitHub CLI …","localConversationPage.createPullRequestInstallGh":"Installera GitHub CLI (gh) för att skapa PR","localConversationPage.createPullRequestNoRepo":"Inget git-kodförråd hittades","localConversationPage.createPullRequestPushStatusMissing":"Laddar push-status …","localConversationPage.createPullRequestSetUpstream":"Pusha den här grenen innan du skapar en PR","localConversationPage.createPullRequestSuccessToast":"Hämtningsbegäran har skapats","localConversationPage.createPullRequestSwitchBranch":"Checka ut en funktionsgren innan du skapar en PR","localConversationPage.error.render":"Fel när lokalt samtal skulle renderas","localConversationPage.error.toast":"Samtalet hittades inte","localConversationPage.forcePushError":"Det gick inte att tvinga push","localConversationPage.generatePullRequestMessageError":"Det gick inte att generera titel och brödtext för hämtningsbegäran","localConversationPage.generatePullRequestMessageFailed":"Det gick inte att generera titel och brödtext för hämtningsbegäran.","localConversationPage.gitActionResult.branch":"Gren","localConversationPage.gitActionResult.cancel":"Avbryt","localConversationPage.gitActionResult.close":"Stäng","localConversationPage.gitActionResult.tryAgain":"Försök igen","localConversationPage.gitActions":"Git-åtgärder","localConversationPage.newChat":"Ny chatt","localConversationPage.openInTarget":"Öppna i","localConversationPage.openPrimaryTarget":"Öppna","localConversationPage.planItemsCompleted":"{completedItems} av {totalItems, plural, one {# uppgift har slutförts} other {# uppgifter har slutförts}}","localConversationPage.pushAuthError":"Push misslyckades: autentisering krävs","localConversationPage.pushBranchMissing":"Det finns ingen information om grenen","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Skickar …","localConversationPage.pushError":"Det gick inte att pusha ändringarna","localConversationPage.pushModal.branchLabel":"Gren","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Avbryt","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Skicka dina senaste överlämningar till fjärrkodförrådet.","localConversationPage.pushModal.errorTitle":"Push misslyckades","localConversationPage.pushModal.forcePush":"Tvinga push","localConversationPage.pushModal.successTitle":"Push har slutförts","localConversationPage.pushModal.title":"Pusha ändringar","localConversationPage.pushModal.tryAgain":"Försök igen","localConversationPage.pushNoUpstream":"Konfigurera en uppström innan du pushar den här grenen","localConversationPage.pushNoUpstreamError":"Push misslyckades: ingen uppström har konfigurerats","localConversationPage.pushNothingToPush":"Det finns inga nya incheckningar att pusha","localConversationPage.pushRemoteChangedError":"Push misslyckades: fjärr har nya överlämningar","localConversationPage.pushRemoteRejectedError":"Push avvisades av fjärr","localConversationPage.pushStatusMissing":"Laddar push-status …","localConversationPage.pushSuccessToast":"Ändringarna har skickats","localConversationPage.viewPullRequestButtonLabel":"Visa PR","localConversationPage.viewPullRequestButtonLabel.loading":"Laddar hämtningsbegäran …","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# fil} other {# filer}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# lista} other {# listor}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# sökning} other {# sökningar}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Utforskar","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Utforskade","localConversationTurn.exploration.accordion.header.complete.withCounts":"Utforskade {counts}","localConversationTurnStory.showContent":"Visa innehåll","localConversationTurnStory.streamContent":"Streama innehåll","localConversationTurnStory.toggleReasoning":"Visa resonemang","localTaskRow.archiveError":"Det gick inte att arkivera samtalet","localTaskRow.resumeError":"Det gick inte att återuppta uppgiften","mermaidDiagram.ariaLabel":"Mermaid-diagram","mermaidDiagram.copySource":"Kopiera mermaid","mermaidDiagram.originalCode":"Mermaid-källkod","notifications.permissions.description":"Visa varningar när aviseringsbehörighet krävs","notifications.permissions.label":"Aktivera behörighetsaviseringar","notifications.turnMode.always":"Alltid","notifications.turnMode.description":"Ange när Codex meddelar dig att det är slutfört","notifications.turnMode.label":"Aviseringar om slutförd vändning","notifications.turnMode.off":"Aldrig","notifications.turnMode.unfocused":"Endast om ej i fokusläge","patchApprovalRequest.approve":"Godkänn","patchApprovalRequest.menu.allowAlways":"Ja, och fråga inte igen under den här sessionen","patchApprovalRequest.menu.allowForSession":"Ja, och fråga inte igen under den här sessionen","patchApprovalRequest.menu.allowOnce":"Ja","patchApprovalRequest.prompt":"Vill du göra dessa ändringar?","patchApprovalRequest.reject":"Nej","patchApprovalRequest.waitingForApproval":"Väntar på godkännande att redigera filer","pendingRequest.approvalExec.collapse":"Stäng","pendingRequest.approvalExec.expand":"Expandera","pendingRequestStory.toastAnswer":"Svar: {answer}","pendingRequestStory.toastApprovalTitle":"Svar på godkännande","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Uppföljning har skickats","pendingRequestStory.toastNoAnswers":"Inga svar har tillhandahållits","pendingRequestStory.toastQuestion":"Fråga: {question}","pendingRequestStory.toastUnknownDecision":"Okänd","pendingRequestStory.toastUserInputTitle":"Svar har skickats","quickAction.request.codeReview.branches.new":"Granska ändringarna i {from} gentemot {to}","quickAction.request.codeReview.uncommitted.new":"Granska mina icke-överlämnade ändringar","reasoningItem.thinking":"Tänker","reasoningItem.thought":"Tänkte","reasoningItem.thoughtWithElapsed":"Tänkte i {elapsed}","recentConversations.title":"Senaste samtal","recentTasks.worktreeInitFailedTitle":"Init för arbetsträd misslyckades","recentTasks.worktreeSettingUpTitle":"Konfigurerar arbetsträd","requestInputPanel.continue":"Fortsätt","requestInputPanel.dismiss":"Stäng","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Skriv här","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Nej, och säg vad Codex ska göra annorlunda","requestInputPanel.selectedBadge":"Valda","requestInputPanel.skip":"Hoppa över","requestInputPanel.submit":"Skicka","review.commit.ariaLabel.includeUnstaged":"Inkludera avstagade","review.commit.buttonLabel":"Överlämna","review.commit.disabled.committing":"Överlämnar …","review.commit.disabled.loadingDiff":"Laddar diff …","review.commit.disabled.missingContext":"Lägg till lite kontext för att generera ett överlämningsmeddelande","review.commit.disabled.noChanges":"Inga ändringar att överlämna","review.commit.disabled.noSelection":"Välj ändringar som ska överlämnas","review.commit.disabled.unavailable":"Överlämning är inte tillgängligt just nu","review.commit.error":"Det gick inte att överlämna ändringarna","review.commit.form.changesToBeCommitted":"Ändringar","review.commit.form.commitTo":"Gren","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Fortsätt","review.commit.form.title":"Överlämna dina ändringar","review.commit.generate.emptyResponse":"Det gick inte att generera ett överlämningsmeddelande.","review.commit.generate.failed":"Det gick inte att generera överlämningsmeddelande: {error}","review.commit.generate.missingPrompt":"Lägg till lite kontext för att generera ett överlämningsmeddelande.","review.commit.includeUnstaged":"Inkludera avstagade","review.commit.loading.description":"Vänta lite, det här kan ta en liten stund …","review.commit.loading.step.commit.done":"Överlämnade ändringar","review.commit.loading.step.commit.pending":"Överlämnar ändringar","review.commit.loading.step.createPr.done":"Skapade en hämtningsbegäran","review.commit.loading.step.createPr.pending":"Skapar en hämtningsbegäran","review.commit.loading.step.push.done":"Pushades till gren {branch}","review.commit.loading.step.push.pending":"Pushar till gren {branch}","review.commit.loading.title.commit":"Överlämnar ändringar","review.commit.loading.title.createPr":"Skapar en hämtningsbegäran","review.commit.loading.title.push":"Pushar ändringar","review.commit.messageLabel":"Meddelande för överlämning","review.commit.messagePlaceholder":"Lämna tomt för att generera ett överlämningsmeddelande automatiskt","review.commit.nextSteps":"Nästa steg","review.commit.nextSteps.commit":"Överlämna","review.commit.nextSteps.commitAndCreate":"Överlämna och skapa PR","review.commit.nextSteps.commitAndPush":"Överlämna och pusha","review.commit.nextSteps.prRequiresGh":"Kräver GitHub CLI: {command}","review.commit.rows.changes":"Ändringar","review.commit.rows.commitCount":"{count, plural, one {# överlämning} other {# överlämningar}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# överlämning} other {# överlämningar}} och {stats}","review.commit.rows.fileCount":"{count, plural, one {# fil} other {# filer}}","review.commit.state.error.body":"Något gick fel under överlämning. Kontrollera din git-status och försök igen","review.commit.state.error.title":"Överlämningen misslyckades","review.commit.state.success.title":"Ändringar har överlämnats","review.commit.untracked.loadingStats":"Laddar icke-spårad diff-statistik …","reviewFindingAttachments.count":"{count, plural, one {# resultat} other {# resultat}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Redigera config för att anpassa agentens beteende","settings.agent.configuration.configToml.docs":"Dokument","settings.agent.configuration.configToml.restartNote":"Starta om Codex efter redigering för att tillämpa ändringarna","settings.agent.configuration.subtitle":"Dessa inställningar gäller överallt där Codex används","settings.automations.banner.danger":"Automatiseringar körs med dina standardinställningar för sandlådan, och de är för närvarande är inställda på Full åtkomst. Att köra automatiseringar i bakgrunden med Full åtkomst innebär högre risk, eftersom Codex kan ändra filer, köra kommandon och komma åt nätverk utan att fråga. Överväg att ändra sandlådans inställningar till skrivåtkomst för arbetsyta och använda <rulesDocsLink>regler</rulesDocsLink> för att selektivt ange vilka kommandon agenten får köra med full åtkomst.","settings.automations.banner.defaultHowTo.default":"Automatiseringar körs med dina standardinställningar för sandlådan. Verktygsanrop misslyckas om de måste modifiera filer utanför arbetsytan, komma åt nätverk eller arbeta med appar på din dator. Du kan selektivt frilista kommandon som får köras utanför sandlådan med hjälp av <rulesDocsLink>regler</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Automatiseringar körs med dina standardinställningar för sandlådan. Dessa är inställda på skrivskyddat läge. Verktygsanrop misslyckas om de kräver modifiering av filer, åtkomst till nätverk eller arbete med appar på din dator. Överväg att uppdatera inställningarna för sandlådan till skrivåtkomst för arbetsyta.","settings.automations.cancel":"Avbryt","settings.automations.create":"Skapa","settings.automations.cwdEmpty":"Inga projektmappar är tillgängliga","settings.automations.cwdLabel":"Projekt","settings.automations.cwdPlaceholder":"Välj en mapp","settings.automations.cwdSubtitle":"Om du vill att en automatisering ska köras på en specifik gren kan du ange den i din prompt.","settings.automations.delete":"Radera","settings.automations.dialog.editTitle":"Redigera automatisering","settings.automations.dialog.newTitle":"Ny automatisering","settings.automations.dialog.subtitle":"Automatisera återkommande uppgifter i bakgrunden. Codex lägger till resultat i inkorgen, eller arkiverar uppgiften automatiskt om det inte finns något att rapportera. <learnMoreLink>Läs mer</learnMoreLink>","settings.automations.dialog.title":"Skapa automatisering","settings.automations.executionCopy.git":"Automatiseringar körs i bakgrunden på särskilda arbetsträd.","settings.automations.executionCopy.nonGit":"Automatiseringar i projekt utan versionskontroll körs direkt i projektkatalogen. Överväg att använda Git för att aktivera körning på arbetsträd i bakgrunden.","settings.automations.executionEnvironment.local":"Lokalt","settings.automations.executionEnvironment.worktree":"Arbetsträd","settings.automations.loading":"Laddar…","settings.automations.nameLabel":"Namn","settings.automations.namePlaceholder":"Sök efter sentry-problem","settings.automations.pause":"Pausa","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"sök efter krascher i $Sentry","settings.automations.resume":"Återuppta","settings.automations.rruleSummaryFallback":"Anpassat schema","settings.automations.runNow":"Testa","settings.automations.save":"Spara","settings.automations.scheduleBadge.dayCount":"{count} dag","settings.automations.scheduleBadge.interval":"{count} tim","settings.automations.scheduleBadge.weekdays":"Vardagar","settings.automations.scheduleBadge.weekends":"Helger","settings.automations.scheduleHeader":"Schemalägg","settings.automations.scheduleHours":"timmar","settings.automations.scheduleLabel":"Kör varje","settings.automations.scheduleMode.daily":"Dagligen","settings.automations.scheduleMode.interval":"Intervall","settings.automations.scheduleModeLabel":"Schematyp","settings.automations.scheduleSummary.daily":"Dagligen kl. {time}","settings.automations.scheduleSummary.interval":"Var {count} tim","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# dag} other {# dagar}}","settings.automations.scheduleSummary.intervalDays":"{interval} på {days}","settings.automations.scheduleSummary.intervalHourly":"Timvis","settings.automations.scheduleSummary.singleDay":"{day} kl. {time}","settings.automations.scheduleSummary.weekdays":"Vardagar kl. {time}","settings.automations.scheduleSummary.weekdaysLabel":"vardagar","settings.automations.scheduleSummary.weekends":"Helger kl. {time}","settings.automations.scheduleSummary.weekendsLabel":"helger","settings.automations.scheduleSummary.weekly":"{days} kl. {time}","settings.automations.scheduleWeekdays":"På","settings.automations.weekdayState.excluded":"Exkluderad","settings.automations.weekdayState.included":"Inkluderad","settings.conversationDetail.steps":"Steg","settings.conversationDetail.steps.description":"Dölj kommandon och utdata","settings.conversationDetail.stepsWithCommands":"Steg med kodkommandon","settings.conversationDetail.stepsWithCommands.description":"Visa kommandon, dölj utdata","settings.conversationDetail.stepsWithOutput":"Steg med kodutdata","settings.conversationDetail.stepsWithOutput.description":"Visa kommandon och expandera utdata","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Inga arkiverade chattar.","settings.dataControls.archivedChats.error":"Det gick inte att ladda arkiverade chattar.","settings.dataControls.archivedChats.loading":"Laddar arkiverade chattar …","settings.dataControls.archivedChats.unarchive":"Avarkivera","settings.dataControls.archivedChats.unarchiveError":"Det gick inte att avarkivera chatten","settings.dataControls.archivedChats.unarchiveSuccess":"Avarkiverad tråd. <viewNowLink>Visa nu</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Avarkiverad tråd.","settings.dataControls.archivedChats.untitled":"Chatt utan titel","settings.dataControls.archivedChats.viewNow":"Visa nu","settings.editRow.headerPlaceholder":"Nyckel","settings.editRow.removeEntry":"Radera post","settings.editRow.valuePlaceholder":"Värde","settings.general.appearance":"Utseende","settings.general.appearance.codeFont":"Typsnitt för kod","settings.general.appearance.codeFont.description":"Ställ in typsnitt och storlek som ska användas för kod i chattar och diff-filer","settings.general.appearance.codeFontFamily":"Typsnittsfamilj för kod","settings.general.appearance.codeFontSize":"Typsnittsstorlek för kod","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Ge fönster en solid bakgrund istället för systeminställningarnas genomskinlighet","settings.general.appearance.opaqueWindows.label":"Använd ogenomskinliga fönsterbakgrunder","settings.general.appearance.sansFontFamily":"Sans-typsnittsfamilj","settings.general.appearance.sansFontFamily.description":"Styr vilket typsnitt som används i Codex-gränssnittet","settings.general.appearance.sansFontSize":"Sans-typsnittsstorlek","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Visa effekter för firande i helfönster när GPT-5.3-Codex-Spark kör det första varvet","settings.general.appearance.sparkCelebrationEffects.label":"Utlös effekter för firande","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Mörk","settings.general.appearance.theme.description":"Använd ljust, mörkt eller anpassa efter systemet","settings.general.appearance.theme.light":"Ljus","settings.general.appearance.theme.system":"System","settings.general.appearance.usePointerCursors.description":"Ändra markören till en pekare när du håller den över interaktiva element","settings.general.appearance.usePointerCursors.label":"Använd markör med pekare","settings.general.enterBehavior.description":"När detta är aktiverat krävs {modifierSymbol} + Retur för att skicka prompter med flera rader.","settings.general.enterBehavior.label":"Kräv {modifierSymbol} + Retur för att skicka långa prompter","settings.general.experimentalFeatures":"Experimentella funktioner (beta)","settings.general.experimentalFeatures.empty":"Inga experimentella betafunktioner är tillgängliga.","settings.general.experimentalFeatures.loading":"Laddar experimentella funktioner …","settings.general.experimentalFeatures.restartNote":"Starta om Codex för att tillämpa ändringar av experimentella funktioner","settings.general.experimentalFeatures.toggle":"Aktivera/inaktivera {featureName}","settings.general.followUpQueueMode.description":"Köa uppföljningar medan Codex kör eller styr den aktuella körningen. Tryck på {invertFollowUpShortcutLabel} om du vill göra det motsatta för ett meddelande.","settings.general.followUpQueueMode.interrupt":"Styr","settings.general.followUpQueueMode.label":"Uppföljningsbeteende","settings.general.followUpQueueMode.queue":"Köa","settings.general.notifications":"Aviseringar","settings.general.power.preventSleepWhileRunning.description":"Håll datorn vaken medan Codex kör en tråd.","settings.general.power.preventSleepWhileRunning.label":"Förhindra viloläge under körning","settings.git.branchPrefix.ariaLabel":"Prefix till gren","settings.git.branchPrefix.description":"Prefix används för att skapa nya grenar i Codex","settings.git.branchPrefix.label":"Prefix till gren","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Det gick inte att spara prefix till gren","settings.git.branchPrefix.save.success":"Prefix till gren har sparats","settings.git.commitInstructions.ariaLabel":"Instruktioner för överlämning","settings.git.commitInstructions.description":"Tillagt i prompter för generering av överlämningsmeddelanden","settings.git.commitInstructions.label":"Instruktioner för överlämning","settings.git.commitInstructions.placeholder":"Lägg till vägledning för överlämningsmeddelande …","settings.git.commitInstructions.save":"Spara","settings.git.commitInstructions.save.error":"Det gick inte att spara instruktioner för överlämning","settings.git.commitInstructions.save.success":"Överlämningsinstruktioner har sparats","settings.git.forcePush.ariaLabel":"Tvinga alltid push","settings.git.forcePush.description":"Använd --force-with-lease när du skickar från Codex","settings.git.forcePush.label":"Tvinga alltid push","settings.git.forcePush.save.disabled":"Tvinga alltid push har inaktiverats","settings.git.forcePush.save.enabled":"Tvinga alltid push har aktiverats","settings.git.forcePush.save.error":"Det gick inte att spara inställningen för tvinga push","settings.git.prInstructions.ariaLabel":"Instruktioner för hämtningsbegäran","settings.git.prInstructions.description":"Bifogat till brödtexten för hämtningsbegäranden som skapas av Codex","settings.git.prInstructions.label":"Instruktioner för hämtningsbegäran","settings.git.prInstructions.placeholder":"Lägg till vägledning för hämtningsbegäran …","settings.git.prInstructions.save":"Spara","settings.git.prInstructions.save.error":"Det gick inte att spara instruktioner för hämtningsbegäran","settings.git.prInstructions.save.success":"Instruktioner för hämtningsbegäran har sparats","settings.ide.defaultOpenTarget.description":"Var filar och mappar öppnas som standard","settings.ide.defaultOpenTarget.label":"Standard för öppningsdestination","settings.ide.defaultOpenTarget.placeholder":"Inga mål hittades","settings.ide.language.auto":"Upptäck automatiskt","settings.ide.language.autoOption":"Upptäck automatiskt","settings.ide.language.description":"Språk för appens användargränssnitt","settings.ide.language.label":"Språk","settings.ide.language.search":"Sök efter språk","settings.layout.actionButton":"Starta om tillägget","settings.layout.actionTitle":"Inställningar med åtgärd","settings.layout.fullWidthTitle":"Inställningar (full bredd)","settings.layout.title":"Inställningar","settings.localEnvironments.actions.add":"Lägg till åtgärd","settings.localEnvironments.actions.add.description":"Skapa ett nytt kommando som kan köras från verktygsfältet.","settings.localEnvironments.actions.add.save":"Spara","settings.localEnvironments.actions.empty":"Lägg till en åtgärd för att köra kommandon från det lokala verktygsfältet.","settings.localEnvironments.actions.icon.debug":"Avlusa","settings.localEnvironments.actions.icon.run":"Kör","settings.localEnvironments.actions.icon.test":"Testa","settings.localEnvironments.actions.icon.tool":"Verktyg","settings.localEnvironments.actions.item.button.delete":"Radera","settings.localEnvironments.actions.item.command":"Åtgärdsskript","settings.localEnvironments.actions.item.name":"Namn","settings.localEnvironments.actions.item.platforms":"Plattformar","settings.localEnvironments.actions.item.platforms.help":"Kör endast på ett specifikt OS","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Plattformsval","settings.localEnvironments.actions.item.platforms.specific":"Plattformsspecifik","settings.localEnvironments.actions.item.platforms.windows":"Fönster","settings.localEnvironments.actions.item.tooltip.delete":"Radera","settings.localEnvironments.actions.title":"Åtgärder","settings.localEnvironments.breadcrumb.back":"Tillbaka","settings.localEnvironments.breadcrumb.edit":"redigera","settings.localEnvironments.breadcrumb.root":"Miljöer","settings.localEnvironments.environment.actions.description":"Dessa åtgärder kan köra alla kommandon och visas i sidhuvudet.","settings.localEnvironments.environment.actionsLabel":"Åtgärder","settings.localEnvironments.environment.create":"Skapa lokal miljö","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"Redigera lokal miljö","settings.localEnvironments.environment.empty":"Ingen lokal miljö har ställts in för det här projektet än.","settings.localEnvironments.environment.name":"Namn","settings.localEnvironments.environment.setup":"Konfigurationsskript","settings.localEnvironments.environment.setup.description":"Detta skript körs när arbetsträd skapas.","settings.localEnvironments.environment.setup.hint":"Körs i projektets rot.","settings.localEnvironments.environment.setup.platformOverrides":"Åsidosättningar för plattform","settings.localEnvironments.environment.setup.platformOverrides.add":"Lägg till {platform} konfigurationsskript","settings.localEnvironments.environment.setup.platformOverrides.description":"Åsidosätter standardskriptet för specifika OS.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Ta bort","settings.localEnvironments.environment.setup.script":"Skript","settings.localEnvironments.environment.title":"Miljöinformation","settings.localEnvironments.file.missing":"Spara för att skapa filen för första gången.","settings.localEnvironments.file.parseError":"Det gick inte att parsa den befintliga filen. Om du sparar skrivs den över. ({error})","settings.localEnvironments.file.path":"Fil: {path}","settings.localEnvironments.file.readError":"Det gick inte att ladda data om lokal miljö. ({error})","settings.localEnvironments.file.title":"Fil för lokal miljö","settings.localEnvironments.loading.body":"Hämtar din projektkonfiguration.","settings.localEnvironments.loading.title":"Laddar lokala miljöer","settings.localEnvironments.preview.devOnly":"(endast DEV)","settings.localEnvironments.preview.save":"Spara","settings.localEnvironments.preview.saveError":"Det gick inte att spara filen ({error})","settings.localEnvironments.preview.title":"Förhandsgranskning","settings.localEnvironments.save.disabled.name":"Lägg till ett miljönamn för att spara.","settings.localEnvironments.save.disabled.noChanges":"Inga ändringar att spara.","settings.localEnvironments.save.disabled.saving":"Sparar…","settings.localEnvironments.save.success":"Lokal miljö har sparats","settings.localEnvironments.unavailable.body":"Det gick inte att ladda den lokala miljöns inställningar för det här projektet.","settings.localEnvironments.unavailable.title":"Lokala miljöer ej tillgängliga","settings.localEnvironments.workspace.add":"Lägg till projekt","settings.localEnvironments.workspace.title":"Projekt","settings.localEnvironments.workspaceSelect.addLabel":"Lägg till miljö","settings.localEnvironments.workspaceSelect.description":"Lokala miljöer berättar för Codex hur arbetsträd för ett projekt ska konfigureras. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Inga projekt än. Lägg till ett för att konfigurera lokala miljöer.","settings.localEnvironments.workspaceSelect.errorLabel":"Miljön behöver åtgärdas","settings.localEnvironments.workspaceSelect.learnMore":"Läs mer","settings.localEnvironments.workspaceSelect.listLabel":"Tillgängliga projekt","settings.localEnvironments.workspaceSelect.loading":"Laddar projekt.","settings.localEnvironments.workspaceSelect.loadingLabel":"Laddar miljö","settings.localEnvironments.workspaceSelect.title":"Välj ett projekt","settings.localEnvironments.workspaceSelect.viewAction":"Visa","settings.mcp.addServer":"Lägg till server","settings.mcp.app.configure":"Konfigurera","settings.mcp.app.connect":"Sammanlänka","settings.mcp.apps.refresh":"Uppdatera","settings.mcp.detail.addArgument":"Lägg till argument","settings.mcp.detail.addEnvVar":"Lägg till miljövariabel","settings.mcp.detail.addEnvVarPassthrough":"Lägg till variabel","settings.mcp.detail.args":"Argument","settings.mcp.detail.back":"Tillbaka","settings.mcp.detail.command":"Kommando för att starta","settings.mcp.detail.cwd":"Arbetskatalog","settings.mcp.detail.docs":"Öppna MCP-dokumentation","settings.mcp.detail.docs.link":"Dokument","settings.mcp.detail.envVarPassthrough":"Passthrough för miljövariabel","settings.mcp.detail.envVars":"Miljövariabler","settings.mcp.detail.http.addEnvHeader":"Lägg till variabel","settings.mcp.detail.http.addHeader":"Lägg till huvud","settings.mcp.detail.http.bearerToken":"Miljövariabler för bärartoken","settings.mcp.detail.http.envHeaders":"Huvuden från miljövariabler","settings.mcp.detail.http.headers":"Huvuden","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Namn","settings.mcp.detail.save":"Spara","settings.mcp.detail.switchTransportNotice":"Om du vill byta MCP-servertyp måste du först avinstallera.","settings.mcp.detail.titleExisting":"Uppdatera MCP:n {name}","settings.mcp.detail.titleNew":"Sammanlänka med en anpassad MCP","settings.mcp.detail.transport.http":"Strömningsbar HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Avinstallera","settings.mcp.empty":"Inga anpassade MCP-servrar har sammanlänkats","settings.mcp.myServers":"Anpassade servrar","settings.mcp.partnerServer.description.figma":"Generera bättre kod genom att använda fullständig Figma-kontext","settings.mcp.partnerServer.description.github":"Integrera GitHub-API:er för att automatisera arbetsflöden och extrahera data","settings.mcp.partnerServer.description.linear":"Integrera med Linears ärendespårning och projekthantering","settings.mcp.partnerServer.description.notion":"Läs dokument, uppdatera sidor, hantera uppgifter","settings.mcp.partnerServer.description.playwright":"Integrera webbläsarautomatisering för att implementera design och testa användargränssnitt.","settings.mcp.partnerServer.install":"Installera","settings.mcp.partnerServer.installAndAuthenticate":"Installera och autentisera","settings.mcp.partnerServer.logoAlt":"{label}-logotyp","settings.mcp.partnerServer.manage":"Hantera","settings.mcp.partnerServer.vendor":"av {vendor}","settings.mcp.recommendedServers":"Rekommenderade servrar","settings.mcp.restartApp":"Börja om","settings.mcp.restartExtension":"Starta om tillägget","settings.mcp.server.enable":"Aktivera","settings.mcp.server.login":"Autentisera dig","settings.mcp.server.settings":"Inställningar","settings.multiselect.createOption":"Skapa ”{value}”","settings.multiselect.removeOption":"Ta bort","settings.nav.account":"Konto","settings.nav.agent":"Konfiguration","settings.nav.ariaLabel":"Inställningar","settings.nav.back":"Tillbaka till appen","settings.nav.data-controls":"Arkiverade trådar","settings.nav.environments":"Molnmiljöer","settings.nav.externalTooltip":"[alpha] Öppnas i webbläsare","settings.nav.general-settings":"Allmänt","settings.nav.git-settings":"Git","settings.nav.local-environments":"Miljöer","settings.nav.mcp-settings":"MCP-servrar","settings.nav.notImplemented":"[alpha] Finns inte som Alpha","settings.nav.personalization":"Anpassning","settings.nav.skills-settings":"Färdigheter","settings.nav.usage-analytics":"Användning och analys","settings.nav.worktrees":"Arbetsträd","settings.openSourceLicenses.back":"Tillbaka","settings.openSourceLicenses.loading":"Laddar…","settings.openSourceLicenses.missing":"Inga meddelanden från tredje part hittades.","settings.openSourceLicenses.notSupported":"Finns inte hos denna värd.","settings.openSourceLicenses.rowDescription":"Meddelanden från tredje part för paketerade beroenden","settings.openSourceLicenses.rowLabel":"Licenser med öppen källkod","settings.openSourceLicenses.subtitle":"Meddelanden från tredje part för beroenden som ingår i denna app","settings.openSourceLicenses.title":"Licenser med öppen källkod","settings.openSourceLicenses.view":"Visa","settings.personalization.agents.description":"Redigera instruktioner som skräddarsyr Codex åt dig. {learnMore}","settings.personalization.agents.learnMore":"Läs mer","settings.personalization.agents.loadError":"Det gick inte att ladda agents.md.","settings.personalization.agents.loading":"Laddar agents.md …","settings.personalization.agents.placeholder":"Lägg till anpassade instruktioner …","settings.personalization.agents.retry":"Försök igen","settings.personalization.agents.save":"Spara","settings.personalization.agents.save.error":"Det gick inte att spara agents.md","settings.personalization.agents.save.success":"Sparade agents.md","settings.personalization.agents.title":"Anpassade instruktioner","settings.personalization.personality.description":"Välj en standardton för Codex-svar","settings.personalization.personality.label":"Personlighet","settings.sample.contentBody":"Använd den här layouten för att ordna inställningspanelen med konsekventa mellanrum.","settings.sample.contentTitle":"Exempel på innehållsblock","settings.section.account":"Konto","settings.section.agent":"Konfiguration","settings.section.data-controls":"Arkiverade trådar","settings.section.environments":"Molnmiljöer","settings.section.external":"Öppnas i din webbläsare under Alpha","settings.section.general-settings":"Allmänt","settings.section.git-settings":"Git","settings.section.local-environments":"Miljöer","settings.section.mcp-settings":"MCP-servrar","settings.section.mcp-settings.docs":"Dokument","settings.section.mcp-settings.subtitle":"Sammanlänka med externa verktyg och datakällor.","settings.section.personalization":"Anpassning","settings.section.skills-settings":"Färdigheter","settings.section.unavailable":"Finns ännu inte i Alpha","settings.section.usage-analytics":"Användning och analys","settings.section.worktrees":"Arbetsträd","settings.threadDetail.description":"Välj hur mycket kommandoutdata som ska visas i trådar","settings.threadDetail.label":"Trådinformation","settings.worktrees.conversation.untitled":"Samtal utan titel","settings.worktrees.delete.error":"Det gick inte att radera arbetsträd","settings.worktrees.empty.body":"Arbetsträd som skapats av Codex visas här.","settings.worktrees.empty.title":"Inga arbetsträd än","settings.worktrees.error.body":"Något gick fel när arbetsträd skulle laddas.","settings.worktrees.error.retry":"Försök igen","settings.worktrees.error.title":"Det gick inte att ladda arbetsträd","settings.worktrees.loading.body":"Hämtar information om arbetsträd.","settings.worktrees.loading.title":"Laddar arbetsträd","settings.worktrees.repository.loading":"Laddar metadata för kodförråd …","settings.worktrees.repository.unknown":"Okänt kodförråd","settings.worktrees.row.conversations":"Samtal","settings.worktrees.row.conversations.empty":"Det finns inga samtal länkade till det här arbetsträdet.","settings.worktrees.row.conversations.loading":"Laddar samtal …","settings.worktrees.row.delete":"Radera","settings.worktrees.row.title":"Arbetsträd","sidebarElectron.addWorkspaceRoot":"Lägg till nytt projekt","sidebarElectron.archiveThread":"Arkivera tråd","sidebarElectron.archiveThreadError":"Det gick inte att arkivera tråden","sidebarElectron.collapseFolder":"Stäng mapp","sidebarElectron.createStableWorktree.dialog.cancel":"Avbryt","sidebarElectron.createStableWorktree.dialog.create":"Skapa","sidebarElectron.debugNavLink":"Avlusa","sidebarElectron.editWorkspaceRootOptionName":"Redigera namn","sidebarElectron.expandFolder":"Expandera mapp","sidebarElectron.groupByMenu.recency":"Kronologisk lista","sidebarElectron.groupByMenu.title":"Organisera","sidebarElectron.groupByMenu.workspace":"Efter projekt","sidebarElectron.inboxRouteNavLink":"Automatiseringar","sidebarElectron.markThreadUnread":"Markera som oläst","sidebarElectron.missingWorkspaceRoot":"Den här projektmappen har raderats eller flyttats","sidebarElectron.newThread":"Ny tråd","sidebarElectron.newThreadInGroup":"Starta en ny tråd i {folder}","sidebarElectron.noRecentThreads":"Inga senaste trådar","sidebarElectron.noTasks":"Inga trådar","sidebarElectron.noTasks.start":"Lägg till ett nytt projekt","sidebarElectron.noTasksWithFilter":"Inga trådar matchar filtren","sidebarElectron.pinnedThreads":"Fastnålade trådar","sidebarElectron.recentNavLink":"Trådar","sidebarElectron.recentThreads":"Senaste trådar","sidebarElectron.removeWorkspaceRootOption":"Ta bort","sidebarElectron.renameThread":"Döp om tråd","sidebarElectron.renameThreadDialogAriaLabel":"Trådtitel","sidebarElectron.renameThreadDialogCancel":"Avbryt","sidebarElectron.renameThreadDialogPlaceholder":"Lägg till en titel …","sidebarElectron.renameThreadDialogSave":"Spara","sidebarElectron.renameThreadDialogSubtitle":"Håll den kort och igenkännbar.","sidebarElectron.renameThreadDialogTitle":"Döp om tråd","sidebarElectron.renameThreadError":"Det gick inte att döpa om tråden","sidebarElectron.renameWorkspaceRootOptionLabel":"Visningsnamn","sidebarElectron.showLess":"Visa färre","sidebarElectron.showMenu.all":"Alla trådar","sidebarElectron.showMenu.relevant":"Relevant","sidebarElectron.showMenu.relevantHint":"Visa bara senaste trådar för aktuell gren, arbetsträd eller andra trådar som kräver din uppmärksamhet","sidebarElectron.showMenu.title":"Visa","sidebarElectron.showMenu.tooltip":"Filtrera, sortera och organisera trådar","sidebarElectron.showMenu.trigger":"Filtrera trådar i sidopanelen","sidebarElectron.showMore":"Visa fler","sidebarElectron.skillsRouteNavLink":"Färdigheter","sidebarElectron.sortMenu.created":"Skapad","sidebarElectron.sortMenu.title":"Sortera efter","sidebarElectron.sortMenu.updated":"Uppdaterad","sidebarElectron.taskNavigation":"Automatiseringsmappar","sidebarElectron.tasksInFolder":"Automatiseringar i {folder}","sidebarElectron.workspaceOptions":"Projektåtgärder för {folder}","sidebarElectron.worktreeGroupTooltip":"Det här är ett git-arbetsträd","skills.appsPage.createSkill":"Ny färdighet","skills.appsPage.empty.skills":"Inga färdigheter hittades","skills.appsPage.search.skills":"Sök efter färdigheter","skills.appsPage.search.skills.label":"Sök efter färdigheter","skills.appsPage.section.installedApps":"Installerade","skills.appsPage.section.skills":"Färdigheter","skills.appsPage.subheading":"Ge Codex superkrafter. <link>Läs mer</link>","skills.appsPage.tab.recommended":"Rekommenderas","skills.appsPage.tab.skills":"Färdigheter","skills.card.contentsError":"Det gick inte att ladda färdighetens innehåll.","skills.card.disable":"Inaktivera","skills.card.disableSuccess":"{skillName} färdighet har inaktiverats","skills.card.disabledBadge":"Inaktiverade","skills.card.enable":"Aktivera","skills.card.enableSuccess":"{skillName} färdighet har aktiverats","skills.card.loadingContents":"Laddar färdighetens innehåll …","skills.card.more":"Fler åtgärder","skills.card.open":"Öppna","skills.card.removeFailed":"Det gick inte att avinstallera färdigheten","skills.card.removeSuccess":"{skillName} färdighet har avinstallerats","skills.card.toggleEnabledError":"Det gick inte att uppdatera färdigheten","skills.card.try":"Prova","skills.card.trySkill":"Prova färdighet","skills.card.uninstall":"Avinstallera","skills.hero.dotLabel":"Gå till bild {index}","skills.hero.next":"Nästa utvalda färdighet","skills.hero.trySkill":"Prova färdighet","skills.page.createSkill":"Ny färdighet","skills.page.empty":"Inga färdigheter hittades","skills.page.filteredEmpty":"Inga färdigheter matchar dina filter","skills.page.filteredEmptyDescription":"Prova att ändra dina söknings- och omfångsfilter","skills.page.heading":"Färdigheter","skills.page.loading":"Laddar färdigheter …","skills.page.refreshSkills":"Uppdatera","skills.page.refreshSkillsToUseNew":"Uppdatera för att använda nya färdigheter","skills.page.search":"Sök efter färdigheter","skills.page.search.label":"Sök efter färdigheter","skills.page.subheading":"Ge Codex superkrafter. <link>Läs mer</link>","skills.preview.copyPrompt":"Kopiera prompt","skills.preview.examplePrompt":"Exempelprompt","skills.recommended.error":"Det gick inte att ladda rekommenderade färdigheter","skills.recommended.install":"Installera","skills.recommended.installSkill":"Installera färdighet","skills.recommended.installSuccess":"{skillName} färdighet har installerats","skills.recommended.installed":"Installerade","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Installerade av admin","skills.scope.builtIn":"System","skills.scope.personal":"Personligt","skills.scope.repo":"Kodförråd","skills.scope.system":"System","skills.scope.team":"Team","skills.scope.user":"Användare","skills.section.installed":"Installerade","skills.section.recommended":"Rekommenderas","story.slidingToggle.existing":"Befintlig","story.slidingToggle.fromLocal":"Från lokal","story.slidingToggle.new":"Ny","story.slidingToggle.toLocal":"Till lokal","terminal.close":"Stäng terminal","terminal.title":"Terminal","thinkingShimmer.default":"Tänker","threadEnvIcon.cloudTooltip":"Detta samtal körs i Codex Cloud.","threadEnvIcon.localTooltip":"Detta samtal körs lokalt.","threadEnvIcon.worktreeTooltip":"Detta samtal körs i ett lokalt git-arbetsträd.","threadHeader.archiveConfirmCancel":"Avbryt","threadHeader.archiveConfirmConfirm":"Arkivera","threadHeader.archiveConfirmSubtitle":"Du kan hitta den senare bland dina arkiverade trådar.","threadHeader.archiveConfirmTitle":"Arkivera tråd?","threadHeader.copyAppLink":"Kopiera djuplänk","threadHeader.copySessionId":"Kopiera sessions-ID","threadHeader.copyWorkingDirectory":"Kopiera arbetskatalog","threadHeader.forkIntoLocal":"Kopiera lokalt","threadHeader.forkIntoWorktree":"Kopiera till nytt arbetsträd","threadHeader.forkPendingWorktreePrompt":"Kopiera det här samtalet till ett nytt arbetsträd.","threadHeader.forkPendingWorktreeTitle":"Samtalet har kopierats","threadHeader.forkThreadError":"Det gick inte att kopiera tråden","threadHeader.forkThreadRequiresGitRepo":"Kopiering till nytt arbetsträd kräver ett git-kodförråd","threadHeader.moreActions":"Åtgärder för tråd","threadPage.newThread":"Ny tråd","threadPage.runAction.changeEnvironment":"Ändra miljö","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} åtgärder","threadPage.runAction.environmentSelector.label":"Välj miljö","threadPage.runAction.label":"Kör","threadPage.runAction.missing.label":"Konfigurera en körningsåtgärd","threadPage.runAction.setup.commandLabel":"Kommando för att köra","threadPage.runAction.setup.description":"Berätta hur Codex kan installera beroenden och starta appen.","threadPage.runAction.setup.editMore":"Miljöinställningar","threadPage.runAction.setup.placeholder":"eg: npm install npm run","threadPage.runAction.setup.submit":"Spara och kör","threadPage.runAction.setup.title":"Kör","threadPage.runAction.tooltip.withEnvironment":"{environmentName} åtgärder","threadPage.toggleDiffPanel":"Växla diff-panel","threadPage.toggleTerminal":"Visa/dölj terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Öppna mapp","toolSummaryForCmd.exploredFiles":"<verb>Listade</verb> filer","toolSummaryForCmd.exploredFilesInPath":"<verb>Listade</verb> filer i {path}","toolSummaryForCmd.exploringFiles":"<verb>Listar</verb> filer","toolSummaryForCmd.exploringFilesInPath":"<verb>Listar</verb> filer i {path}","toolSummaryForCmd.ranGenericCommand":"<status>Körde kommando</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Körde</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Läs</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Kör kommando</status>{timer}","toolSummaryForCmd.runningTimer":"för {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Sökte</verb> efter {query}","toolSummaryForCmd.searchedForFiles":"<verb>Sökte</verb> efter filer","toolSummaryForCmd.searchedForInPath":"<verb>Sökte</verb> efter {query} i {path}","toolSummaryForCmd.searchingFor":"<verb>Söker</verb> efter {query}","toolSummaryForCmd.searchingForFiles":"<verb>Söker</verb> efter filer","toolSummaryForCmd.searchingForInPath":"<verb>Söker</verb> efter {query} i {path}","traceRecording.details.noteLabel":"Vad gjorde du när detta inträffade? (valfritt)","traceRecording.details.notePlaceholder":"Navigerade till en stor tråd och bytte sedan flikar om och om igen …","traceRecording.details.submit":"Skicka spår","traceRecording.details.subtitle":"Vi kan skicka det här profilspåret för att hjälpa till att diagnostisera problem med prestanda.","traceRecording.details.title":"Skicka profilspår?","traceRecording.progress.subtitle":"Håll Codex öppet medan detta slutförs.","traceRecording.saving.title":"Sparar spår …","traceRecording.startDetails.cancel":"Avbryt","traceRecording.startDetails.submit":"Okej, starta inspelningen","traceRecording.startDetails.subtitle":"Efter att du klickat på Okej återskapar du prestandaproblemet och klickar sedan på den flytande röda indikatorn för att stoppa och granska spåret.","traceRecording.startDetails.title":"Så fungerar spårinspelning","traceRecording.stopButton.ariaLabel":"Stoppa spårinspelning","traceRecording.upload.successToast":"Profilspår har skickats.","traceRecording.uploading.title":"Laddar upp spår …","wham.diff.addComment":"Lägg till kommentar","wham.diff.binaryFile":"Binärfil visas inte","wham.diff.noContent":"Inget innehåll","wham.fileTag.deleted":"Raderad","wham.fileTag.new":"Ny","wham.formattedRelativeDateTime.compactDaysAgo":"{value} dag","wham.formattedRelativeDateTime.compactHoursAgo":"{value} tim","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} min","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} mån","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} v","wham.formattedRelativeDateTime.compactYearsAgo":"{value} år","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Arbetar med din uppgift","wham.whamProposedTask.title":"Föreslagen uppgift","wham.whamProposedTask.useSuggestion":"Använd förslag","workspaceRootDialog.addError":"Det gick inte att lägga till projektet","workspaceRootDialog.cancel":"Avbryt","workspaceRootDialog.confirmAdd":"Lägg till projekt","workspaceRootDialog.confirmPick":"Använd projekt","workspaceRootDialog.description":"Ange en sökväg på {host} som ska användas som projekt.","workspaceRootDialog.pathLabel":"Projektets sökväg","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Lägg till projektets sökväg","workspaceRootDialog.title.pick":"Välj projektets sökväg","worktreeInitV2.cancel":"Avbryt","worktreeInitV2.notification.failedTitle":"Konfiguration av arbetsträd misslyckades","worktreeInitV2.output.empty":"Väntar på utdata …","worktreeInitV2.status.error":"Konfiguration av arbetsträd misslyckades.","worktreeInitV2.status.running":"Skapar ett arbetsträd och kör konfigurationen.","worktreeInitV2.status.runningFork":"Skapa ett arbetsträd för att kunna kopiera samtalet.","worktreeInitV2.status.success":"Arbetsträdet är färdigt.","worktreeInitV2.title":"Skapar arbetsträd","worktreeInitV2.workLocallyInstead":"Arbeta lokalt istället","worktreeRestoreBanner.body":"Den här trådens arbetsträd har tagits bort för att spara diskutrymme","worktreeRestoreBanner.missing.body":"Den här trådens arbetskatalog finns inte längre","worktreeRestoreBanner.missing.title":"Aktuell arbetskatalog saknas","worktreeRestoreBanner.restore.error":"Det gick inte att återställa arbetsträdet: {message}","worktreeRestoreBanner.restore.success":"Arbetsträdet har återställts","worktreeRestoreBanner.restoreCta":"Återställ arbetsträd","worktreeRestoreBanner.title":"Arbetsträdet har rensats"};Object.assign(e,globalThis.codexI18nOverrides?.["sv-SE"]);export{e as default};
 //# sourceMappingURL=sv-SE-BiGfrfPY.js.map
@@ -1,2 +1,2 @@
-const a={"CopyButton.copyTooltip":"Nakili","app.sidebar.hide":"Ficha upau wa upande","app.sidebar.show":"Onyesha upau wa upande","app.sidebar.tooltip":"Geuza upau wa upande","appHeader.installUpdate":"Sasisha","appSunset.body":"Toleo hili la programu haliruhusiwi tena. Tafadhali pakua toleo la hivi karibuni <here>hapa</here>.","appSunset.title":"Sasisho linahitajika","automation.updateDirective.create":"Unda","automation.updateDirective.open":"Fungua","automation.updateDirective.untitled":"Ufanyaji otomatiki usio na kichwa","automation.updateDirective.update":"Sasisha","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {Jaribio #} other {Majaribio #}}","cloudTaskRow.archiveError":"Imeshindwa kuhifadhi shughuli kwenye kumbukumbu","code.diff.requestChange":"Omba badiliko","code.diffComment.cancel":"Ghairi","code.diffComment.comment":"Maoni","code.diffComment.delete":"Futa","code.diffComment.save":"Hifadhi","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Hakuna matokeo yaliripotiwa.","codex.alert.closeAriaLabel":"Funga","codex.appUpsellBanner.cbpApi.message":"Tengeneza kwa haraka zaidi kwa programu ya Codex. Pakua sasa au {learnMoreLink}.","codex.appUpsellBanner.download":"Pakua","codex.appUpsellBanner.freeGo.message":"Codex imejumuishwa kwenye mpango wako hadi tarehe 2 Machi. Jaribu programu ya Codex ili kutengeneza haraka zaidi.","codex.appUpsellBanner.later":"Baadaye","codex.appUpsellBanner.learnMoreLowercase":"pata maelezo zaidi","codex.appUpsellBanner.new":"Mpya","codex.appUpsellBanner.proPlusBusiness.message":"Jaribu programu ya Codex kwa vikomo vya kiwango cha 2x hadi tarehe 2 Aprili. Pakua sasa au {learnMoreLink}.","codex.appUpsellBanner.title":"Programu ya Codex","codex.applyDropdown.header.changes":"Mabadiliko","codex.applyDropdown.header.fileCount":"{count, plural, one {Faili #} other {Faili #}}","codex.applyDropdown.header.rows":"safumlalo","codex.applyDropdown.header.title":"Tumia mabadiliko","codex.applyDropdown.header.workspace":"Mradi","codex.applyDropdown.results.conflicted":"{count, plural, one {Faili 1 inakinzana:} other {Zinakinzana faili {count}}}","codex.applyDropdown.results.empty":"Hakuna faili zimenakiliwa","codex.applyDropdown.results.skipped":"{count, plural, one {Imerukwa faili 1} other {Zimerukwa faili {count}:}}","codex.applyOrRevertBanner.apply":"Tumia","codex.applyOrRevertBanner.applyMessage":"Je, utatumia mabadiliko na uendelee kindani?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Shughuli hii ilitengenezwa katika {environment} kwa hivyo huenda isitumike vizuri.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Mabadiliko yaliyofanywa katika {environment} kwa hivyo huenda yasitumike vizuri.","codex.applyOrRevertBanner.reapply":"Tumia upya","codex.applyOrRevertBanner.revert":"Rejesha","codex.applyOrRevertBanner.revertMessage":"Je, utageuza mabadiliko yaliyotumiwa?","codex.applyResultsDialog.applied":"Imetumiwa vizuri ({count})","codex.applyResultsDialog.close":"Funga","codex.applyResultsDialog.conflicted":"Inakinzana ({count})","codex.applyResultsDialog.noDetails":"Hakuna maelezo ya faili yanapatikana.","codex.applyResultsDialog.skipped":"Imeruka ({count})","codex.applyResultsDialog.title":"Tumia matokeo","codex.archiveInfo":"Tazama chati zilizohifadhiwa kwenye kumbukumbu kwenye {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Vidhibiti vya Data","codex.archiveInfo.electron":"Tazama chati zilizohifadhiwa kwenye kumbukumbu kwenye {settingsLink}","codex.archiveInfo.extension":"Tazama chati zilizohifadhiwa kwenye kumbukumbu kwenye folda yako ya .codex.","codex.archiveInfo.settingsLink":"Mipangilio","codex.banner.content.description":"Endesha shughuli sambamba, fuatilia mwendeleo popote na uhakiki PR kwa AI.","codex.banner.content.headline":"Codex inafanya yote.","codex.cloudTaskRow.archiveTask":"Hifadhi shughuli kwenye kumbukumbu","codex.cloudTaskRow.confirmArchiveTask":"Thibitisha","codex.command.feedback":"Maoni","codex.command.findInThread":"Tafuta","codex.command.forceReloadSkills":"Lazimisha ujuzi wa kupakia upya","codex.command.logOut":"Ondoka","codex.command.manageTasks":"Dhibiti shughuli","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Nyuma","codex.command.navigateForward":"Mbele","codex.command.newThread":"Tukio lipya","codex.command.nextThread":"Matukio yanayofuata","codex.command.openFolder":"Fungua folda","codex.command.openSkills":"Nenda kwenye ujuzi","codex.command.openThreadOverlay":"Tukio la kuibuka","codex.command.personalitySettings":"Haiba","codex.command.previousThread":"Tukio la awali","codex.command.settings":"Mipangilio","codex.command.toggleDiffPanel":"Geuza paneli ya tofauti","codex.command.toggleSidebar":"Geuza upau wa upande","codex.command.toggleTerminal":"Geuza temino","codex.commandGroup.app":"Programu","codex.commandGroup.configure":"Sanidi","codex.commandGroup.navigation":"Urambazaji","codex.commandGroup.panels":"Paneli","codex.commandGroup.skills":"Ujuzi","codex.commandGroup.thread":"Tukio","codex.commandGroup.workspace":"Mradi","codex.commandMenu.noResults":"Hakuna inayolingana","codex.commandMenu.searchPlaceholder":"Amri za utafutaji","codex.commandMenu.suggestedGroup":"Yanayopendekezwa","codex.commandMenu.switchWorkspace":"Badilisha mradi","codex.commandMenu.title":"Menyu ya umri","codex.common.retry":"Jaribu tena","codex.composer.searchBranches":"Tafuta matawi","codex.dialog.basic.body":"Haya ni mazungumzo ya muundo rahisi kwa kutumia wrapper yetu kwenye Mazungumzo ya Radix.","codex.dialog.basic.cancel":"Ghairi","codex.dialog.basic.confirm":"Thibitisha","codex.dialog.basic.open":"Fungua Mazungumzo","codex.dialog.basic.title":"Mazungumzo ya Jaribio","codex.dialog.long.close":"Funga","codex.dialog.long.line":"Mstari unaoweza kubiringizika {index} ili kuonyesha maudhui marefu ndani ya mazungumzo.","codex.dialog.long.open":"Fungua Mazungumzo Marefu","codex.dialog.long.title":"Mazungumzo ya Maudhui Marefu","codex.dialog.unstyled.body":"Hadithi hii inaonyesha jinsi wapigaji simu wanaweza kudhibiti kikamilifu mwonekano wa maudhui ya kidirisha cha mazungumzo.","codex.dialog.unstyled.open":"Fungua Kidirisha cha Mazungumzo Kisichorembeshwa","codex.dialog.unstyled.title":"Maudhui Yasiyorembeshwa","codex.diff.openInEditorPrompt.openButton":"Fungua kwenye kihariri","codex.diff.openInEditorPrompt.singleLine":"Faili hii ni kubwa zaidi kuonyeshwa hapa.","codex.diffView.failedToDecodeBase64Diff":"Imeshindwa kusimbua base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {Faili # imebadilishwa} other {Faili # zimebadilishwa}}","codex.diffView.imagePreviewAlt":"Onyesho la mapema la picha","codex.diffView.imagePreviewEmpty":"Hakuna picha","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Hakuna data tofauti","codex.diffView.pdfPreview.nextPage":"Ukurasa unaofuata","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Ukurasa wa awali","codex.diffView.pdfPreviewEmpty":"Hakuna onyesho la awali la PDF","codex.diffView.pdfPreviewError":"Haikuweza kuleta onyesho la awali la PDF","codex.diffView.richPreviewDisable":"Lemaza onyesho la awali bora zaidi","codex.diffView.richPreviewEnable":"Wezesha onyesho la awali bora zaidi","codex.diffView.richPreviewLoading":"Inapakia onyesho la awali…","codex.diffView.richPreviewToggle":"Geuza onyesho la awali bora zaidi","codex.diffView.switchToUnified":"Badilisha iwe tofauti iliyounganishwa","codex.environmentSelector.noEnvironment":"Hakuna mazingira","codex.environments.environmentSettings":"Mipangilio ya mazingira","codex.environments.learnMore":"Pata maelezo zaidi","codex.environments.listError":"Imeshindwa kupakia mazingira.","codex.environments.noEnvironmentsFound":"Hakuna mazingira yamepatikana","codex.environments.searchError":"Imeshindwa kutafuta mazingira.","codex.errorBoundary.genericError":"Samahani, hitilafu imetokea","codex.errorBoundary.goHome":"Jaribu tena","codex.file.patch.missing":"Haikuweza kujenga kiraka cha faili hii.","codex.gallery.automations.cwdLabel":"Miradi","codex.gallery.automations.nameLabel":"Jina","codex.gallery.automations.namePlaceholder":"Fupisha shughuli","codex.gallery.automations.promptLabel":"Dokezo","codex.gallery.automations.promptPlaceholder":"Fafanua kile Codex inapaswa kufanya","codex.gallery.dialogs.automation.label":"Mazungumzo ya ufanyaji otomatiki","codex.gallery.dialogs.basic.body":"Tumia mpangilio huu kwa uthibitisho rahisi au fomu fupi.","codex.gallery.dialogs.basic.cancel":"Ghairi","codex.gallery.dialogs.basic.confirm":"Thibitisha","codex.gallery.dialogs.basic.label":"Mazungumzo msingi","codex.gallery.dialogs.basic.title":"Mazungumzo ya sampuli","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Fafanua tatizo","codex.gallery.dialogs.feedbackSubmission.bad":"Matokeo mbaya","codex.gallery.dialogs.feedbackSubmission.bug":"Kasoro","codex.gallery.dialogs.feedbackSubmission.good":"Matokeo mazuri","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Jumuisha ripoti za kikao cha Codex cha sasa","codex.gallery.dialogs.feedbackSubmission.label":"Uwasilishaji wa maoni","codex.gallery.dialogs.feedbackSubmission.other":"Nyingine","codex.gallery.dialogs.feedbackSubmission.placeholder":"Fafanua tatizo hapa","codex.gallery.dialogs.feedbackSubmission.submit":"Wasilisha","codex.gallery.dialogs.feedbackSubmission.title":"Maoni","codex.gallery.dialogs.feedbackSuccess.body":"Maoni yamepakiwa. Tatizo likiendelea, tafadhali fungua suala la GitHub au taja kitambulisho cha tukio katika suala wazi lililopo:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Funga","codex.gallery.dialogs.feedbackSuccess.label":"Ufanisi wa maoni","codex.gallery.dialogs.feedbackSuccess.title":"Maoni yamepakiwa","codex.gallery.dialogs.gitApplyResults.applied":"Imetumiwa bila tatizo (2)","codex.gallery.dialogs.gitApplyResults.close":"Funga","codex.gallery.dialogs.gitApplyResults.conflicted":"Inakinzana (1)","codex.gallery.dialogs.gitApplyResults.label":"Tumia matokeo","codex.gallery.dialogs.gitApplyResults.title":"Tumia matokeo","codex.gallery.dialogs.gitPushError.body":"Leta mabadiliko ya hivi karibuni au lazimisha msukumo ikiwa unafahamu historia ya mbali ni salama ili kuiondoa.","codex.gallery.dialogs.gitPushError.cancel":"Ghairi","codex.gallery.dialogs.gitPushError.force":"Lazimisha kusukuma","codex.gallery.dialogs.gitPushError.label":"Hitilafu ya push","codex.gallery.dialogs.gitPushError.subtitle":"Tawi lako lipo nyuma ya tawi asili/kuu.","codex.gallery.dialogs.gitPushError.title":"Imeshindwa kusukuma mabadiliko","codex.gallery.dialogs.gitRevert.cancel":"Ghairi","codex.gallery.dialogs.gitRevert.confirm":"Rejesha","codex.gallery.dialogs.gitRevert.label":"Geuza mabadiliko","codex.gallery.dialogs.gitRevert.skip":"Usiulize tena","codex.gallery.dialogs.gitRevert.subtitle":"Hatua hii huondoa mabadiliko haya yote.","codex.gallery.dialogs.gitRevert.title":"Utageuza mabadiliko?","codex.gallery.dialogs.longForm.label":"Mazungumzo marefu","codex.gallery.dialogs.proseModal.body":"Mtindo huu wa modali hutumiwa kwa maelekezo marefu, uanzishaji, au vitalu vya maudhui mengi.","codex.gallery.dialogs.proseModal.close":"Funga","codex.gallery.dialogs.proseModal.subtitle":"Shiriki mwongozo wa kina au nyaraka hapa.","codex.gallery.dialogs.proseModal.title":"Muundo wa prose","codex.gallery.dialogs.submitBlocked.label":"Kutuma kumezuiwa","codex.gallery.dialogs.submitBlocked.message":"Ujumbe wako haukuweza kutumwa kwa sababu mradi haupatikani.","codex.gallery.dialogs.submitBlocked.ok":"SAWA","codex.gallery.dialogs.submitBlocked.title":"Haikuweza kutuma ujumbe","codex.gallery.dialogs.title":"Mazungumzo","codex.gallery.dropdown.filterPlaceholder":"Chuja vipengee","codex.gallery.dropdowns.actionRow":"Safu ya vitendo","codex.gallery.dropdowns.actionRow.disabled":"Hatua iliyolemazwa","codex.gallery.dropdowns.actionRow.primary":"Kitendo cha msingi","codex.gallery.dropdowns.actionRow.secondary":"Hatua ya pili","codex.gallery.dropdowns.actionRow.trigger":"Onyesha matendo","codex.gallery.dropdowns.basic":"Orodha kunjuzi ya msingi","codex.gallery.dropdowns.basic.newFile":"Faili mpya","codex.gallery.dropdowns.basic.newFolder":"Folda mpya","codex.gallery.dropdowns.basic.openSettings":"Fungua mipangilio","codex.gallery.dropdowns.basic.title":"Hatua za haraka","codex.gallery.dropdowns.basic.trigger":"Fungua menyu","codex.gallery.dropdowns.basic.upload":"Pakia","codex.gallery.dropdowns.panel":"Sehemu ya juu ya paneli","codex.gallery.dropdowns.panel.apply":"Tumia","codex.gallery.dropdowns.panel.body":"Hakiki diff na uzitumie kwenye mradi wako.","codex.gallery.dropdowns.panel.preview":"Onyesha awali","codex.gallery.dropdowns.panel.title":"Tumia mabadiliko","codex.gallery.dropdowns.panel.trigger":"Fungua paneli","codex.gallery.dropdowns.search":"Orodha kunjuzi inayoweza kutafutwa","codex.gallery.dropdowns.search.first":"Alpha channel","codex.gallery.dropdowns.search.second":"Tawi la beta","codex.gallery.dropdowns.search.third":"Achilia kijaribiwa","codex.gallery.dropdowns.search.trigger":"Chuja vipengee","codex.gallery.dropdowns.submenu":"Vuta chini kwa menyu ndogo","codex.gallery.dropdowns.submenu.optionA":"Mradi wa alpha","codex.gallery.dropdowns.submenu.optionB":"Mradi wa beta","codex.gallery.dropdowns.submenu.optionC":"Mradi wa gamma","codex.gallery.dropdowns.submenu.primary":"Toa mmiliki","codex.gallery.dropdowns.submenu.secondary":"Hamisha kwenye","codex.gallery.dropdowns.submenu.tertiary":"Hifadhi kwenye kumbukumbu","codex.gallery.dropdowns.submenu.trigger":"Chagua hatua","codex.gallery.dropdowns.title":"Orodha kunjuzi","codex.gallery.inbox.automations.close":"Funga","codex.gallery.inbox.automations.popover.cardTitle":"Dhibiti ufanyaji otomatiki","codex.gallery.inbox.automations.popover.dialogTitle":"Dhibiti ufanyaji otomatiki","codex.header.settingsTooltip":"Mipangilio","codex.hunk.patch.error":"Imeshindwa kupanga","codex.hunk.patch.missing":"Haikuweza kujenga kiraka cha hunk hii.","codex.hunk.patch.partialSuccess":"Ufanisi wa kisehemu","codex.hunk.patch.revertError":"Imeshindwa kuondoa mpango","codex.hunk.patch.revertSuccess":"Imefaulu kuondolewa kwenye mpango","codex.hunk.patch.success":"Imefaulu kuwekwa kwenye mpango","codex.legal.autonomy.details":"Ili kupata maelezo zaidi, ona {link}","codex.legal.autonomy.details.link":"Hati za Codex","codex.legal.autonomy.title":"Fafanua ni autonomi kiwango gani unataka kutoa","codex.legal.backButton":"Nyuma","codex.legal.cloud.taskOne.meta":"openai/agi · Okt 12","codex.legal.cloud.taskOne.title":"Elezea hazina kwa mbunifu mgeni","codex.legal.cloud.taskThree.meta":"openai/codex · Okt 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Unda mandhari ya hali ya giza","codex.legal.cloud.taskTwo.meta":"openai/agi · Okt 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Rekebisha kasoro ya kujumlisha","codex.legal.continue.apikey":"Endelea","codex.legal.continueButton":"Inayofuata","codex.legal.copilot.details":"Hutumia mpango wako wa Copilot kwa uitaji wa muundo wote, kulipisha na vikomo vya kiwango. Matumizi ya mkondo wa Codex yanategemea {oaiTos} na {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Sheria za Huduma za GitHub","codex.legal.copilot.oaiTosLink":"Sheria za huduma za Codex ya OpenAI","codex.legal.copilot.title":"Inaendeshwa na GitHub Copilot","codex.legal.mistakes.review":"Hakiki msimbo inaandika na amri inazoendesha","codex.legal.mistakes.title":"Codex inaweza kufanya makosa","codex.legal.powered.details":"Hutumia vikomo vya kiwango cha mpango wako na {link}","codex.legal.powered.details.link":"mapendeleo ya data ya mafunzo","codex.legal.powered.title":"Inaendeshwa na akaunti yako ya ChatGPT","codex.legal.step.cloud.subtitle":"Tuma shughuli kwa Codex ili kuendesha kwenye usuli ili uweze kuendelea kuangazia na kusonga haraka zaidi.","codex.legal.step.cloud.title":"Patiana kwa Codex kwenye wingu","codex.legal.step.intro.subtitle":"Codex inarambaza, kuhariri, kuendesha amri na kutekeleza majaribio moja kwa moja kwenye hazina yako. Inaendeshwa na akaunti yako ya ChatGPT.","codex.legal.step.intro.title":"Codex kwenye IDE yako","codex.legal.step.todo.subtitle":"Andika maoni ya TODO na kuigeuza katika shughuli ya Codex kwa mbofyo moja.","codex.legal.step.todo.title":"Geuza TODO katika shughuli za Codex","codex.legal.todo.heading":"// TODO: tekeleza kielezo","codex.localConversation.closeImagePreview":"Funga dokezo la picha","codex.localConversation.userImageAttachment":"Kiambatisho cha mtumiaji","codex.localTaskRow.archiveTask":"Hifadhi kwenye kumbukumbu","codex.localTaskRow.awaitingApproval":"Inasubiri idhini","codex.localTaskRow.awaitingResponse":"Inasubiri jibu","codex.localTaskRow.confirmArchiveTask":"Thibitisha","codex.loggedOut.apiKeyPrompt.cancel":"Ghairi","codex.loggedOut.apiKeyPrompt.confirm":"Sawa","codex.loggedOut.apiKeyPrompt.getKey":"Pata Ufunguo wa API","codex.loggedOut.apiKeyPrompt.inputLabel":"Ingiza Kitufe cha API cha OpenAI yako","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Shughuli za wingu zimelemazwa kwa Kitufe cha API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Shughuli za wingu zimelemazwa kwa Copilot na Kitufe cha API","codex.loggedOut.signIn":"Ingia kwa ChatGPT","codex.loggedOut.signIn.cancel":"Ghairi Uingiaji","codex.loggedOut.signInWithCopilot":"Ingia kwa kutumia GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Tumia Kitufe cha API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} zana ya {tool} MCP","codex.mcpTool.collapsedLabel.verb.called":"Imeitwa","codex.mcpTool.collapsedLabel.verb.calling":"Inaita","codex.mcpTool.embeddedResource.contentLabel":"Maudhui","codex.mcpTool.embeddedResource.mimeTypeLabel":"Aina ya MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Zana haijarejesha maudhui","codex.mcpTool.rawPayloadHeading":"{server} mbichi. Payload ya uitaji wa zana {tool}","codex.menu.recent":"Hivi karibuni","codex.menu.seeAllHistory":"Ona historia yote","codex.modelCapacityBanner.headline.noReset":"{modelName} iko mwisho sasa hivi. Jaribu tena baadaye au anza mazungumzo mpya kwa muundo mwingine.","codex.modelCapacityBanner.headline.withReset":"{modelName} iko mwisho sasa hivi. Jaribu tena baada ya {resetDate} au anza mazungumzo na muundo mwingine.","codex.modelCapacityBanner.title":"Muundo uliochaguliwa uko mwisho","codex.patch.change.contentsDeleted":"Maudhui yamefutwa","codex.patch.change.created":"Imeundwa","codex.patch.change.created-file":"Faili iliyoundwa","codex.patch.change.creating":"Kuunda","codex.patch.change.deleted":"Imefutwa","codex.patch.change.deleted-file":"Faili iliyofutwa","codex.patch.change.deleting":"Kufuta","codex.patch.change.edited":"Imehaririwa","codex.patch.change.edited-file":"Faili iliyohaririwa","codex.patch.change.editing":"Kuhariri","codex.patch.change.noChanges":"Hakuna mabadiliko","codex.patch.change.rejected-add":"Imekataliwa","codex.patch.change.rejected-delete":"Imekataliwa","codex.patch.change.rejected-edit":"Imekataliwa","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Shughuli {completed} kati ya {total} zimekamilishwa","codex.plan.todoListCreated":"Orodha ya kufanya imeundwa kwa shughuli {total}","codex.profileDropdown.apiKeyAuth":"Imeingia kwa Kitufe cha API","codex.profileDropdown.codexSettings":"Mipangilio ya Codex","codex.profileDropdown.copilotAuth":"Imeingiwa kwa Copilot","codex.profileDropdown.defaultAccountTitle":"Akaunti chaguomsingi","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter ili kutuma vidokezo virefu","codex.profileDropdown.enterBehaviorError":"Imeshindwa kusasisha mpangilio","codex.profileDropdown.getPlus":"Boresha ili kupata vikomo vya juu zaidi","codex.profileDropdown.keyboardShortcuts":"Njia za mkato za kibodi","codex.profileDropdown.language":"Lugha","codex.profileDropdown.languageDefault":"Gundua Kiotomatiki","codex.profileDropdown.languageSearchPlaceholder":"Tafuta lugha","codex.profileDropdown.languageUpdateError":"Imeshindwa kusasisha lugha","codex.profileDropdown.logOut":"Ondoka","codex.profileDropdown.mcp":"Mipangilio ya MCP","codex.profileDropdown.openConfigToml":"Open config.toml","codex.profileDropdown.openConfigToml.wsl":"Fungua config.toml kwenye mazingira ya WSL","codex.profileDropdown.openExtensionSettings":"Fungua mipangilio","codex.profileDropdown.openMcpSettings":"Fungua mipangilio ya MCP","codex.profileDropdown.openOnStartup":"Fungua kwenye uanzishaji","codex.profileDropdown.openOnStartupError":"Imeshindwa kusasisha mpangilio","codex.profileDropdown.openSkillsSettings":"Fungua mipangilio ya Ujuzi","codex.profileDropdown.personalAccountTitle":"Akaunti ya kibinafsi","codex.profileDropdown.queueFollowUps":"Panga ufuatilizi","codex.profileDropdown.queueFollowUpsError":"Imeshindwa kusasisha mpangilio","codex.profileDropdown.readDocs":"Soma hati","codex.profileDropdown.readSkillsDocs":"Soma hati","codex.profileDropdown.runInWsl":"Endesha kwenye WSL","codex.profileDropdown.runInWslError":"Imeshindwa kusasisha mpangilio","codex.profileDropdown.runInWslTooltip":"Inaendesha Codex ndani ya WSL. Inapendekezwa kwa usalama wa sandbox ulioboreshwa na utendaji bora zaidi.","codex.profileDropdown.settings":"Mipangilio ya IDE","codex.profileDropdown.settingsPage":"Mipangilio","codex.profileDropdown.signInWithOpenAI":"Ingia kwa ChatGPT","codex.profileDropdown.skills":"Mipangilio ya ujuzi","codex.profileDropdown.switchToCopilotAccount":"Tumia akaunti ya Copilot","codex.profileDropdown.switchToOpenAIAccount":"Tumia akaunti ya OpenAI","codex.profileDropdown.todoCodelens":"Rekebisha maoni ya TODO","codex.profileDropdown.todoCodelensError":"Imeshindwa kusasisha mpangilio","codex.profileDropdown.windowsDocumentation":"Hati ya Windows","codex.profileFooter.signedInFallback":"Mipangilio","codex.profileFooter.upgrade":"Boresha","codex.recentTasksMenu.clearSearch":"Ondoa utafutaji","codex.recentTasksMenu.cloud":"Shughuli za wingu","codex.recentTasksMenu.count":"{count, plural, =0 {Hakuna shughuli zinaendelea} one {Shughuli # inaendelea} other {Shughuli # zinaendelea}}","codex.recentTasksMenu.empty":"Bado hakuna matukio","codex.recentTasksMenu.errorCloud":"Imeshindwa kupakia shughuli","codex.recentTasksMenu.errorCloud.inline":"Imeshindwa kupakia shughuli za wingu.","codex.recentTasksMenu.filterAll":"Zote","codex.recentTasksMenu.filterCloudTasks":"Chuja shughuli za wingu","codex.recentTasksMenu.filterTooltip":"Chuja shughuli kwa mazingira","codex.recentTasksMenu.local":"Shughuli za eneo","codex.recentTasksMenu.recent":"Shughuli zote","codex.recentTasksMenu.search":"Tafuta shughuli za hivi karibuni","codex.recentTasksMenu.searchEmpty":"Hakuna matokeo","codex.recentTasksMenu.tooltip":"Historia ya shughuli","codex.recentTasksMenu.trigger":"Shughuli za hivi karibuni. {count, plural, one {# inaendelea} other {# zinaendelea}}","codex.remoteConversation.applyDiff.applyCta":"Tumia mabadiliko","codex.remoteConversation.applyDiff.dropdownTitle":"Tumia mabadiliko kwenye tawi la ndani","codex.remoteConversation.applyDiff.revertCta":"Geuza mabadiliko","codex.remoteConversation.closeImagePreview":"Funga dokezo la picha","codex.remoteConversation.codexCloudTask":"Unatazama shughuli ya <u>wingu la Codex</u>","codex.remoteConversation.errorWithMessage":"Hitilafu: {message}","codex.remoteConversation.loadingImage":"Inapakia picha","codex.remoteConversation.openInWeb":"Fungua kwenye wavuti","codex.remoteConversation.streaming":"Kuanza","codex.remoteConversation.turnFailed":"Hitilafu imetokea wakati wa shughuli hii","codex.remoteConversation.turnTab.loading":"Jaribio la {number}","codex.remoteConversation.turnTab.title":"Jaribio la {number}","codex.remoteConversation.userImageAttachment":"Kiambatisho cha mtumiaji","codex.remoteConversation.viewPreviousTurns":"Fungua kwenye wavuti","codex.remoteConversation.viewPreviousTurns.buttonText":"Fungua","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Fungua kwenye wavuti","codex.review.copyGitApplyCommand":"Nakili amri ya kutumia git","codex.review.copyGitApplyCommand.toast":"Imenakili amri ya kutumia git kwenye ubao wa kunakili","codex.review.diffTooLarge.description":"Tofauti ni kubwa mno kuonyesha kwenye Uhakiki.","codex.review.diffTooLarge.title":"Diff ni kubwa sana haiwezi kuonyeshwa","codex.review.expandOrCollapseDiffButton.collapse":"Kunja tofauti zote","codex.review.expandOrCollapseDiffButton.expand":"Panua tofauti zote","codex.review.expandOrCollapseDiffMenu.collapse":"Kunja tofauti zote","codex.review.expandOrCollapseDiffMenu.expand":"Panua tofauti zote","codex.review.fileSearch.clear":"Ondoa kichujio cha faili","codex.review.fileSearch.empty":"Hakuna faili zinalingana na kichujio cha sasa.","codex.review.fileSearch.label":"Chuja faili","codex.review.fileSearch.placeholder":"Inachuja faili…","codex.review.filesChanged":"{num, plural, =0 {Hakuna faili zimebadilishwa} one {Faili # imebadilishwa} other {Faili # zimebadilishwa}}","codex.review.find.loadMore":"Pakia vilinganifu zaidi","codex.review.fullReview.hideFileTree":"Ficha mti wa faili","codex.review.fullReview.showFileTree":"Onyesha mti wa faili","codex.review.header.moreOptions":"Hakiki machaguo","codex.review.largeDiff.banner":"Tofauti kubwa imetambuliwa — kuonyesha faili moja kwa wakati.","codex.review.loadFullFiles.disable":"Usipakie faili nzima","codex.review.loadFullFiles.enable":"Pakia faili nzima","codex.review.noDiff":"Mabadiliko ya faili yatatokea hapa","codex.review.noDiff.gitInit.createRepository":"Unda hazina ya git","codex.review.noDiff.gitInit.creating":"Inaunda...","codex.review.noDiff.gitInit.error":"Git init imefeli: {message}","codex.review.noDiff.gitInit.success":"Hazina ya git imeundwa","codex.review.noDiff.gitRepoRequired.description":"Fuatilia na utendue mabadiliko kwenye mradi huu","codex.review.noDiff.gitRepoRequired.title":"Unda hazina ya Git","codex.review.noDiff.orNoLongerAvailable":"au tofauti za hivi karibuni hazipatikani tena","codex.review.noDiff.reverted":"Nafasi ya mwisho imegeuzwa","codex.review.noDiff.revertedOrCommitted":"Aidha nafasi ya mwisho imegeuzwa au imetekelezwa","codex.review.refreshGitQueries":"Sasisha","codex.review.revert.file.error":"Imeshindwa kugeuza {path}","codex.review.revert.file.partialSuccess":"Imegeuzwa kisehemu {path}","codex.review.revert.file.success":"Imegeuza {path}","codex.review.revert.hunk.error":"Imeshindwa kugeuza hunk {hunkNumber} katika {path}","codex.review.revert.hunk.partialSuccess":"Imegeuza kisehemu hunk {hunkNumber} katika {path}","codex.review.revert.hunk.success":"Imegeuza hunk {hunkNumber} katika {path}","codex.review.revert.section.error":"Imeshindwa kugeuza sehemu","codex.review.revert.section.partialSuccess":"Sehemu imegeuzwa kisehemu","codex.review.revert.section.success":"Sehemu imegeuzwa","codex.review.revertDialog.cancel":"Ghairi","codex.review.revertDialog.confirm":"Thibitisha","codex.review.revertDialog.message":"Hatua hii huondoa mabadiliko haya yote.","codex.review.revertDialog.skip":"Usiulize tena","codex.review.revertDialog.title":"Utageuza mabadiliko?","codex.review.richPreview.disable":"Lemaza onyesho la awali bora zaidi","codex.review.richPreview.enable":"Wezesha onyesho la awali bora zaidi","codex.review.source.cloud":"Mabadiliko ya Cloud","codex.review.source.local.all":"Mabadiliko ya tawi lote","codex.review.source.local.lastTurn":"Mabadiliko ya nafasi ya mwisho","codex.review.source.local.uncommitted":"Mabadiliko ambayo hayajatekelezwa","codex.review.source.worktree":"Mabadiliko ya mti wa kazi ambayo hayajatekelezwa","codex.review.stageFilter.empty.staged.description":"Kubali vihariri ili kuzipanga","codex.review.stageFilter.empty.staged.title":"Hakuna mabadiliko yamepangwa","codex.review.stageFilter.empty.unstaged.description":"Mabadiliko ya msimbo yatatokea hapa","codex.review.stageFilter.empty.unstaged.title":"Hakuna mabadiliko ambayo hayajapangwa","codex.review.stageFilter.staged":"Imepangwa","codex.review.stageFilter.staged.count":"Imepangwa · {count}","codex.review.stageFilter.unstaged":"Ambayo haijapangwa","codex.review.stageFilter.unstaged.count":"Ambayo haijapangwa · {count}","codex.review.switchToSplit":"Badilisha iwe tofauti ya mgawanyo","codex.review.switchToUnified":"Badilisha iwe tofauti iliyounganishwa","codex.review.toggleDiffView":"Geuza mtazamo wa tofauti","codex.review.wordDiffs.disable":"Lemaza tofauti za neno","codex.review.wordDiffs.enable":"Wezesha tofauti za neno","codex.review.wrap.disable":"Lemaza word wrap","codex.review.wrap.enable":"Wezesha word wrap","codex.section.patch.missing":"Haikuweza kujenga kiraka cha kifungu hiki.","codex.shell.collapse":"Kunja sheli","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Imenakili maudhui ya sheli","codex.shell.copy.copyTooltip":"Nakili maudhui ya sheli","codex.shell.copyCommand":"Nakili amri","codex.shell.copyOutput":"Nakili kitolewa","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Panua sheli","codex.shell.name":"Sheli","codex.shell.noOutput":"Hakuna kitolewa","codex.signInFailed.message":"Imeshindwa kuingia: {rawMessage}","codex.stories.toast.show":"Onyesha Toast","codex.stories.tooltip.basic":"Hiki ni kidokezo cha zana","codex.stories.tooltip.hoverMe":"Nielekeze","codex.stories.tooltip.largerOffset":"Dokezo la zana hii lina offset kubwa zaidi","codex.stories.tooltip.offsetButton":"Offset kubwa zaidi","codex.stories.tooltip.shortcutButton":"Kwa njia za mkato","codex.stories.tooltip.withShortcut":"Geuza temino","codex.taskRow.title":"Mazungumzo mapya","codex.taskRowLayout.confirm":"Thibitisha","codex.threadFindBar.chatFilter":"Tafuta chati","codex.threadFindBar.close":"Funga utafutaji","codex.threadFindBar.diffFilter":"Tafuta diff","codex.threadFindBar.label":"Tafuta kwenye tukio","codex.threadFindBar.nextResult":"Matokeo yanayofuata","codex.threadFindBar.noResults":"Matokeo 0","codex.threadFindBar.placeholder":"Tafuta tukio…","codex.threadFindBar.placeholder.extension":"Tafuta tukio…","codex.threadFindBar.placeholder.review":"Tafuta diff…","codex.threadFindBar.placeholder.review.extension":"Tafuta diff…","codex.threadFindBar.previousResult":"Matokeo ya awali","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {Faili # imebadilishwa} other {Faili # zimebadilishwa}}","codex.unifiedDiff.inlineLargeFile":"Kubwa sana kuonyesha ndani ya mstari","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Tendua","codex.unifiedDiff.revertPatchError":"Imeshindwa kugeuza mabadiliko","codex.unifiedDiff.revertPatchSuccess":"Mabadiliko yamegeuzwa","codex.unifiedDiff.reviewChangesSuffix":"mabadiliko","codex.unifiedDiff.reviewShort":"Kagua","codex.unifiedDiff.viewDiffTooltip":"Kagua","codex.upsellBanner.business.headline":"Ili kupata ufikiaji zaidi sasa, tuma ombi kwa msimamizi wako, au subiri hadi {resetDate}.","codex.upsellBanner.cbp.headline":"Ili kupata ufikiaji zaidi sasa, tuma ombi kwa msimamizi wako.","codex.upsellBanner.cta.addCredits":"Ongeza salio","codex.upsellBanner.cta.upgradeAccount":"Boresha","codex.upsellBanner.cta.viewUsage":"Tazama Matumizi","codex.upsellBanner.free.trialHeadline":"Kikomo cha kiwango chako kinawekwa upya kwenye {resetDate}. Ili kuendelea kutumia Codex na kupata ufikiaji wa GPT-5.3-Codex, anza jaribio lako la Plus la bila malipo leo.","codex.upsellBanner.freeOrGo.headline":"Vikomo vya kiwango chako vinawekwa upya mnamo {resetDate}. Ili kuendelea kutumia Codex, boresha iwe Plus leo.","codex.upsellBanner.general.headline":"Vikomo vyako vinawekwa upya mnamo {resetDate}.","codex.upsellBanner.general.title":"Umeishiwa na jumbe za Codex","codex.upsellBanner.go.trialHeadline":"Kikomo cha kiwango chako huwekwa upya katika {resetDate}. Ili kuendelea kutumia Codex, anza jaribio lako la bila malipo la Plus leo.","codex.upsellBanner.plus.headline":"Kikomo cha kiwango chako kinawekwa upya mnamo {resetDate}. Ili kuendelea kutumia Codex, ongeza salio au boresha iwe Pro leo.","codex.upsellBanner.pro.headline":"Kikomo cha kiwango kinawekwa upya mnamo {resetDate}. Ongeza salio ili kuendelea kutumia Codex sasa.","codex.userMessage.autoResolveSync":"Suluhisha migogoro kiotomatiki","codex.userMessage.commentCount":"{count, plural, one {Maoni #} other {Maoni #}}","codex.userMessage.copiedAriaLabel":"Imenakiliwa","codex.userMessage.copiedTooltip":"Imenakiliwa","codex.userMessage.copyAriaLabel":"Nakili ujumbe","codex.userMessage.copyTooltip":"Nakili","codex.userMessage.implementPlan":"Tekeleza mpango","codex.userMessage.noContent":"(Hakuna maudhui)","codex.userMessage.priorConversation":"Inarejelea mazungumzo ya awali","codex.userMessage.reviewMode":"Hakiki msimbo","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"kwa {query}","codex.webSearch.summary.verb.completed":"Imetafuta wavuti","codex.webSearch.summary.verb.inProgress":"Kutafuta kwenye wavuti","codex.windowsInstallWslBanner.dismiss":"Funga","codex.windowsInstallWslBanner.installWslCta":"Wezesha sandbox","codex.windowsInstallWslBanner.learnMore":"Pata maelezo zaidi","codex.windowsSandboxBanner.content":"Hali ya wakala hutumia sandbox ya majaribio ya Windows kuwekea kikomo mfumo na ufikiaji wa mtandao. {sandboxLink}","codex.windowsSandboxBanner.title":"Wezesha sandbox kwa ajili ya hali ya Wakala","codex.windowsSubDropdown.windowsSandbox":"Sandbox ya Windows","codex.windowsSubDropdown.windowsSettings":"Mipangilio ya Windows","codexUpgradeModal.body":"Muundo wetu wa hivi karibuni wa kusimba wa wakala wa mbele – wenye akili zaidi, wa haraka zaidi na wenye uwezo zaidi katika kazi ya kiufundi ya kawaida. {link}","codexUpgradeModal.close":"Funga","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Pata maelezo zaidi","codexUpgradeModal.title":"Tunakuletea GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Jaribu GPT-5.3-Codex sasa","codexUpgradeModal.useExistingModel":"Endelea kwa muundo wa sasa","commentAttachments.numComments":"{count, plural, one {Maoni #} other {Maoni #}}","commentAttachments.removeAriaLabel":"Ondoa kiambatisho cha maoni","common.close":"Funga","composer.addContext.openFilePickerError":"Haikuweza kufungua kichaguaji cha faili","composer.addContextDropdown.ariaLabel":"Ongeza faili na mengine zaidi","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Ongeza faili na mengine zaidi","composer.addPhotosAndFiles":"Ongeza picha na faili","composer.atMentionList.emptyQuery":"Andika ili kutafuta faili","composer.atMentionList.loading":"Unatafuta...","composer.atMentionList.noResults":"Hakuna matokeo","composer.attemptsSelector.option":"{count, plural, one {Toleo la #} other {Matoleo ya #}}","composer.attemptsSelector.tooltip":"Idadi ya majaribio sambamba ya Codex ili kutengeneza","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Sitisha","composer.cloudFollowUp.cloud":"Wingu","composer.cloudFollowUp.local":"Eneo","composer.cloudFollowUp.whereRun":"Je, ufuatilizi huu unaweza kuendeshwa wapi?","composer.cloudTaskCreationError":"Hitilafu katika kuunda shughuli ya wingu","composer.cloudTaskError":"Hitilafu katika kuunda shughuli","composer.contextWindow.autoCompactionTooltipLine1":"Codex hufinyiza kiotomatiki muktadha wake","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Dirisha la muktadha:","composer.contextWindowUsageStatusFull":"Imejaa asilimia {usage}","composer.contextWindowUsageStatusLeft":"{usage}% imetumiwa (inasalia {remaining}%)","composer.contextWindowUsageTooltip":"Tokeni {usedTokens}k / {contextWindow}k tokens zimetumiwa","composer.customCliTooltip":"Kwa kutumia CLI maalum inayoweza kutekelezwa","composer.dictation.aria":"Toa imla","composer.dictation.cancel.aria":"Sitisha imla","composer.dictation.cancel.tooltip":"Sitisha imla","composer.dictation.startError":"Haikuweza kuanza imla","composer.dictation.submit.aria":"Nukuu na utume","composer.dictation.submit.tooltip":"Nukuu na utume","composer.dictation.tooltip":"Shikilia ili kuzungumza","composer.dictation.transcribeError":"Haikuweza kunukuu sauti","composer.dictation.unsupported":"Unukuaji haupatikani kwenye kifaa hiki","composer.dropOverlay.holdShift":"Shikilia {key} ili kudondosha","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Unda mpya","composer.environmentSelector.error":"Hitilafu katika kupakia mazingira","composer.environmentSelector.goBack":"Rudi kwenye mtunzi","composer.environmentSelector.title":"Chagua mazingira","composer.environmentSelector.tooltip":"Chagua mazingira ya wingu","composer.feedbackSlashCommand.title":"Maoni","composer.filePicker.selectFile":"Chagua faili","composer.filePicker.selectFiles":"Chagua mafaili","composer.followerTooltip":"Ili kuendelea, rudi kwenye dirisha ambapo mazungumzo haya yalianza.","composer.footer.branchSwitch.checkoutError":"Imeshindwa kubadilisha tawi: {message}","composer.footer.branchSwitch.createAndCheckout":"Unda na uangalie tawi mpya…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Tekeleza mabadiliko ili kuunda na kuangalia tawi mpya","composer.footer.branchSwitch.createBranchError":"Imeshindwa kuunda tawi: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Jina la tawi","composer.footer.branchSwitch.createDialog.branchExistsError":"Tawi tayari lipo.","composer.footer.branchSwitch.createDialog.close":"Funga","composer.footer.branchSwitch.createDialog.createAndCheckout":"Unda na uangalie","composer.footer.branchSwitch.createDialog.placeholder":"tawi mpya","composer.footer.branchSwitch.createDialog.title":"Unda na uangalie tawi","composer.footer.branchSwitch.createDialog.trailingSlashError":"Jina la tawi haliwezi kumalizika kwa “/”.","composer.footer.branchSwitch.tooltip":"Badilisha tawi","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Tekeleza mabadiliko kwenye {fileCount, plural, one {Faili #} other {Faili #}} ili kuangalia {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Jitolee","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"mabadiliko katika {fileCount, plural, one {Faili #} other {Faili #}} ili kuangalia {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Ghairi","composer.footer.branchSwitch.uncommittedDialog.commit":"Tekeleza kisha ubadilishe tawi…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Mabadiliko yako kwa faili zifuatazo yangeondolewa na kuondoka:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Tafadhali tekeleza mabadiliko yako ili kuendelea","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"tawi lililochaguliwa","composer.footer.branchSwitch.uncommittedDialog.title":"Tekeleza mabadiliko ili kubadilisha tawi","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Isiyotekelezwa: {fileCount, plural, one {Faili #} other {Faili #}}","composer.forkSlashCommand.description":"Gawanya tukio hili katika mti mpya wa kazi au ndani","composer.forkSlashCommand.option.local.description":"Endelea kwenye tukio mpya la ndani","composer.forkSlashCommand.option.local.title":"Gawanya katika ndani","composer.forkSlashCommand.option.worktree.description":"Endelea kwenye mti mpya wa kazi","composer.forkSlashCommand.option.worktree.title":"Gawanya katika mti mpya wa kazi","composer.forkSlashCommand.title":"Fork","composer.ideContextIndicator":"Muktadha wa IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Jumuisha muktadha kutoka kwa IDE","composer.ideContextIndicator.tooltipToggle":"ili kugeuza","composer.ideContextSlashCommand.disableDescription":"Zima muktadha wa IDE","composer.ideContextSlashCommand.enableDescription":"Jumuisha chaguo la sasa, mafaili yaliyo wazi na muktadha mwingine kutoka kwa IDE yako","composer.ideContextSlashCommand.title":"Muktadha wa IDE","composer.imageInputsUnsupported":"Muundo huu hauauni maingizo ya picha. Jaribu muundo tofauti.","composer.imageUploadFailed":"Imeshindwa kupakia picha","composer.includeIdeContextDropdown":"Jumuisha muktadha wa IDE","composer.includeIdeContextDropdown.ariaLabel":"Jumuisha muktadha wa IDE","composer.localCwdDropdown.addWorkspaceRoot":"Ongeza mradi mpya","composer.localCwdDropdown.noActiveRoot":"Chagua mradi wako","composer.localCwdDropdown.noResults":"Hakuna folda zimepatikana","composer.localCwdDropdown.title":"Chagua mradi wako","composer.localTaskError":"Hitilafu katika kuanza mazungumzo","composer.mcpSlashCommand.description":"Onyesha hali ya seva ya MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Haijathibitishwa","composer.mcpStatus.authOauth":"Imethibitishwa (OAuth)","composer.mcpStatus.authToken":"Imethibitishwa (ufunguo wa API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Funga","composer.mcpStatus.disabled":"Imelemazwa","composer.mcpStatus.emptyLabel":"Seva:","composer.mcpStatus.emptyValue":"Hakuna seva za MCP zimesanidiwa","composer.mcpStatus.enabled":"Imewezeshwa","composer.mcpStatus.errorLabel":"Hali:","composer.mcpStatus.errorValue":"Haikuweza kupakia hali ya MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Wakala","composer.mode.agentMode.auto.dropdownLabel":"Wakala","composer.mode.agentMode.auto.optionLabel":"Wakala","composer.mode.agentMode.changePermission":"Badilisha hali","composer.mode.agentMode.custom":"Maalum","composer.mode.agentMode.custom.dropdownLabel":"Maalum","composer.mode.agentMode.custom.option":"Maalum (config.toml)","composer.mode.agentMode.custom.optionLabel":"Maalum (config.toml)","composer.mode.agentMode.customInfo.cancel":"Ghairi","composer.mode.agentMode.customInfo.cli":"Unaweza kurekebisha mipangilio hio kutoka kwa CLI au kwa kuhariri faili moja kwa moja.","composer.mode.agentMode.customInfo.confirm":"Tumia hali maalum","composer.mode.agentMode.customInfo.description":"Hali maalum inatumia uidhinishaji na sera za sandbox iliyobainishwa kwenye faili <link>yako ya </link>config.toml.","composer.mode.agentMode.customInfo.docs":"Pata maelezo zaidi kuhusu kusanidi sera za sandbox na uidhinishaji kwenye <link>hati za mazingira za </link>utekelezaji.","composer.mode.agentMode.customInfo.refresh":"Mabadiliko yoyote yanatumika wakati mwingine ambao wakala unaendeshwa.","composer.mode.agentMode.customInfo.title":"Jinsi hali maalum hufanya kazi","composer.mode.agentMode.fullAccess":"Wakala (ufikiaji kamili)","composer.mode.agentMode.fullAccess.dropdownLabel":"Wakala (ufikiaji kamili)","composer.mode.agentMode.fullAccess.optionLabel":"Wakala (ufikiaji kamili)","composer.mode.agentMode.fullAccessConfirm.caution":"Kuna na tahadhari wakati wa kuwezesha ufikiaji kamili. Hii huongeza kwa kiasi kikubwa hatari ya kupotea, kuvunjwa au tabia ya data isiyotarajiwa.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ndiyo, endelea licha ya hayo","composer.mode.agentMode.fullAccessConfirm.description":"Wakati Codex inaendeshwa kwa ufikiaji kamili, inaweza kuhariri faili yoyote kwenye kompyuta yako na kuendesha amri kwa mtandao, bila idhini yako.","composer.mode.agentMode.fullAccessConfirm.goBack":"Ghairi","composer.mode.agentMode.fullAccessConfirm.title":"Utawezesha ufikiaji kamili?","composer.mode.agentMode.readOnly":"Chati","composer.mode.agentMode.readOnly.dropdownLabel":"Chati","composer.mode.agentMode.readOnly.optionLabel":"Chati","composer.mode.agentMode.tooltip":"Badilisha hali","composer.mode.agentMode.tooltip.auto":"Soma na uhariri faili na amri zetu.","composer.mode.agentMode.tooltip.custom":"Tumia sera za sandbox na idhini za hivi karibuni zilizobainishwa kwenye config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex inaweza kuhariri mafaili nje ya mradi na kuendesha amri kwa ufikiaji wa mtandao. Kuwa mwangalifu unapotumia.","composer.mode.agentMode.tooltip.readOnly":"Inahitaji idhini ili kuhariri faili na kuendesha amri.","composer.mode.cloud.tooltip":"Fanya kazi katika mazingira ya wingu","composer.mode.contactAdmin":"Ili kupata ufikiaji zaidi, wasiliana na msimamizi wako","composer.mode.local":"Eneo","composer.mode.local.learnMore":"Pata maelezo zaidi","composer.mode.local.model.custom":"Maalum","composer.mode.local.model.loadingModel":"Inapakia zaidi","composer.mode.local.model.selecrReasoningEffort":"Chagua uwazaji","composer.mode.local.model.selectModel":"Chagua muundo","composer.mode.local.model.tooltip":"Chagua muundo","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Juu","composer.mode.local.reasoning.low.label":"Chini","composer.mode.local.reasoning.medium.label":"Wastani","composer.mode.local.reasoning.minimal.label":"Kidogo","composer.mode.local.reasoning.none.label":"Hamna","composer.mode.local.reasoning.xhigh.label":"Juu zaidi","composer.mode.localRemoteWhereRun":"Chagua pale pa kuendesha shughuli","composer.mode.newTask.header":"Endelea kwenye","composer.mode.rateLimit.day":"siku {days}","composer.mode.rateLimit.heading":"Vikomo vya kiwango vinavyosalia","composer.mode.rateLimit.hour":"saa {hours}","composer.mode.rateLimit.minute":"dak {minutes}","composer.mode.rateLimit.modelSectionLabel":"Kikomo {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {kikomo cha kila wiki} other {kikomo cha wiki {weeks}}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Kila wilki} other {Wiki {weeks}}}","composer.mode.remote.connectToCloud":"Unganisha wavuti wa Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Sanidi mazingira kupitia wavuti wa Codex ili kuwezesha kutuma shughuli kwenye wingu","composer.mode.remote.selectEnvironment":"Chagua mazingira","composer.mode.remote.sendToCloud":"Tuma kwenye wingu","composer.mode.remote.setupViaWeb":"Sanidi mazingira kupitia wavuti wa Codex","composer.mode.runInCloud":"Wingu","composer.mode.runInCloudWithEnvironment":"Wingu · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Fanya kazi katika mazingira ya wingu","composer.mode.segmentedToggle.local.tooltip":"Fanya kazi kwenye mradi wako wa ndani","composer.mode.segmentedToggle.worktree.tooltip":"Fanya kazi katika mti wa kazi sambamba","composer.mode.upgradeToPlus":"Pata toleo jipya la Plus","composer.mode.upgradeToPro":"Boresha iwe Pro","composer.mode.workLocally":"Mradi wa ndani","composer.mode.workLocally.currentBranchFallback":"tawi lako","composer.mode.workLocally.tooltip":"Fanya kazi kwenye {branchName} ","composer.mode.worktree":"Mti mpya wa kazi","composer.mode.worktree.submoduleWarning":"Hifadhi hii ina moduli ndogo za git. Uundaji wa mti wa kazi unaweza kushindikana.","composer.mode.worktree.tooltip":"Unda nakala ya mradi wako wa ndani ili kufanya kazi sambamba","composer.mode.worktreeSegment":"Mti wa kazi","composer.modelChangeDuringConversationWarning.toast":"Kubadilisha miundo katikati mwa mazungumzo kutadhoofisha utendaji.","composer.newChat.heading.browser":"Je, tunapaswa kufuatia kusimba nini?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex hutumia kibali kilichobainishwa kwenye config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ina ufikiaji kamili wa kompyuta yako (hatari iliyoongezeka)","composer.permissionsDropdown.custom.label":"Maalum (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Maalum (config.toml)","composer.permissionsDropdown.default.label":"Kibali chaguomsingi","composer.permissionsDropdown.default.optionLabel":"Kibali chaguomsingi","composer.permissionsDropdown.default.tooltip":"Codex huendesha kiotomatiki amri katika sandbox","composer.permissionsDropdown.disabled.requirements":"Vibali vimefungwa na requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Ufikiaji kamili umelemazwa kwenye requirements.toml","composer.permissionsDropdown.fullAccess.label":"Ufikiaji kamili","composer.permissionsDropdown.fullAccess.optionLabel":"Ufikiaji kamili","composer.permissionsDropdown.trigger.tooltip":"Badilisha vibali","composer.personalitySlashCommand.description.friendly":"Tulivu, shirikishi na yenye usaidizi","composer.personalitySlashCommand.description.pragmatic":"Fupi, yenye angazio la shughuli na ya moja kwa moja","composer.personalitySlashCommand.label.friendly":"Ya kirafiki","composer.personalitySlashCommand.label.pragmatic":"Uhalisi","composer.personalitySlashCommand.notApplicableSuffix":"(Haitumiki kwa muundo wa sasa)","composer.personalitySlashCommand.title":"Haiba","composer.placeholder.cloudFollowUp.directFollowUp":"Ufuatilizi wa shughuli hii ya wingu","composer.placeholder.cloudFollowUp.local":"Unda shughuli ya ndani mpya ambayo inarejelea shughuli hii ya kazi","composer.placeholder.cloudFollowUp.workingTree":"Unda shughuli mpya ya wingu ambayo inajumuisha msimbo wako wa sasa na itarejelea shughuli hii","composer.placeholder.localFollowUp.cloud":"Fuata kwenye shughuli mpya ya wingu","composer.placeholder.localFollowUp.locally":"Omba mabadiliko ya ufuatilizi","composer.placeholder.newTask.cloud":"Omba Codex kufanya chochote kwenye wingu","composer.placeholder.newTask.doAnything":"Uliza Codex chochote","composer.placeholder.newTask.locally":"Uliza Codex chochote, @ ili kuongeza faili, / kwa ajili ya amri","composer.planModeDropdown":"Hali ya mpango","composer.planModeDropdown.ariaLabel":"Hali ya mpango","composer.planModeIndicator":"Mpango","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Unda mpango kwa Codex","composer.planModeIndicator.tooltipToggle":"ili kugeuza","composer.planSlashCommand.disableDescription":"Zima hali ya mpango","composer.planSlashCommand.enableDescription":"Washa hali ya mpango","composer.planSlashCommand.title":"Hali ya mpango","composer.priorContext.label":"Muktadha wa awali","composer.priorContext.removeAriaLabel":"Ondoa muktadha wa awali","composer.queuedMessage.delete":"Futa ujumbe uliopangwa","composer.queuedMessage.edit":"Hariri ujumbe","composer.queuedMessage.more":"Matendo ya ujumbe uliopangwa","composer.queuedMessage.sendNow":"Elekeza","composer.queuedMessage.sendNowTooltip":"Tuma sasa bila kukatiza kazi","composer.queuedMessage.turnOff":"Zima kupanga","composer.reasoningEffort.local.reasoning.tooltip":"Chagua jitihada la uwazaji","composer.remote.branchStartingPoint":"Je, shughuli hii inapaswa kuanza kwa tawi gani?","composer.remote.branchesSectionHeading":"Matawi","composer.remote.currentEditsSuffix.followUp":"Unda shughuli mpya ambayo inarejelea shughuli hii ya wingu.","composer.remote.currentEditsSuffix.useLocal":"kwa mabadiliko ya msimbo wa eneo","composer.remote.directFollowUp":"Usitumie mabadiliko ya eneo","composer.remote.errorLoadingBranches":"Hitilafu katika kupakia matawi","composer.remote.fromBranch":"kutoka {branch}","composer.remote.fromCurrentBranch":"Kutoka {branch} (sasa)","composer.remote.loadingMoreBranches":"Inapakia...","composer.remote.localFileStateHeading":"Hali ya faili ya ndani","composer.remote.localWorkingTree":"Tumia mabadiliko ya eneo","composer.remote.startingPoint":"Je, shughuli hii inapaswa kuanza kwa msimbo upi?","composer.reviewMode.branches.error":"Haikuweza kupakia matawi","composer.reviewMode.branches.retry":"Jaribu tena","composer.reviewMode.gitRoot.error":"Mzizi wa Git haukupatikana","composer.reviewMode.option.baseBranch.simple":"Hakiki dhidi ya tawi msingi","composer.reviewMode.option.unstaged.simple":"Hakiki mabadiliko ambayo hayajatekelezwa","composer.reviewMode.quickReviewError":"Imeshindwa kuanza uhakiki wa msimbo.","composer.reviewMode.title":"Uhakiki wa msimbo","composer.sandboxButton.unlock.disabled.tooltip":"Ufikiaji kamili umelemazwa kwenye requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex inaweza kutumia sandbox ya majaribio kwenye Windows ili kuwekea kikomo mfumo wa faili na ufikiaji wa mtandao. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Je, utawezesha sandbox ya Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Tumia kusoma pekee","composer.searchEnvironments":"Tafuta mazingira","composer.skillMentionList.app":"Programu","composer.skillMentionList.loading":"Ujuzi wa kupakia...","composer.skillMentionList.noResults":"Hakuna ujuzi umepatikana","composer.slashCommands.cloudEnvironment.title":"Mazingira ya wingu","composer.slashCommands.dialogLabel":"Menyu ya amri ya slash","composer.slashCommands.dialogTitle":"Amri za slash","composer.slashCommands.disabledTooltip":"Anza mazungumzo mapya ili kutumia amri za slash","composer.slashCommands.inputPlaceholder":"Tafuta","composer.slashCommands.noResults":"Hakuna amri","composer.slashCommands.skillsGroup":"Ujuzi","composer.slashCommands.tooltip":"Vinjari amri za slash","composer.status.close":"Funga","composer.statusPlain.alertLabel":"Arifa:","composer.statusPlain.alertValue":"Imesalia {remaining}% kwenye {window}","composer.statusPlain.contextLabel":"Muktadha:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"(imetumiwa {used} / {total})","composer.statusPlain.contextValueRemaining":"Zimesalia {remaining}%","composer.statusPlain.heading":"Hali","composer.statusPlain.modelRateLimitSectionLabel":"Kikomo {modelName}:","composer.statusPlain.rateLimitDays":"Kikomo cha siku {count}","composer.statusPlain.rateLimitFallbackLabel":"Kikomo cha kiwango:","composer.statusPlain.rateLimitHours":"Kikomo cha saa {count}","composer.statusPlain.rateLimitLabelBase":"Kikomo cha kiwango","composer.statusPlain.rateLimitMinutes":"Kikomo cha dak {count}","composer.statusPlain.rateLimitPercent":"Zimesalia {remaining}%","composer.statusPlain.rateLimitReset":"inawekwa upya {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"wakati wa kuwekwa upya haupatikani","composer.statusPlain.rateLimitUnavailable":"Haipatikani","composer.statusPlain.sessionCopiedAriaLabel":"Imenakili kitambulisho cha kikao","composer.statusPlain.sessionCopiedTooltip":"Kitambulisho kilichonakiliwa","composer.statusPlain.sessionCopyAriaLabel":"Nakili kitambulisho cha kikao","composer.statusPlain.sessionCopyTooltip":"Nakili kitambulisho","composer.statusPlain.sessionLabel":"Kikao:","composer.statusSlashCommand.description":"Onyesha kitambulisho cha tukio, matumizi ya muktadha na vikomo vya kiwango","composer.statusSlashCommand.title":"Hali","composer.submit.blockedDialogOk":"Sawa","composer.submit.blockedDialogTitle":"Haikuweza kutuma ujumbe","composer.submit.emptyMessage":"Ingiza ujumbe ili kuanza","composer.submit.imageInputsUnsupported":"Ondoa picha au badilisha miundo ili kutuma ujumbe huu.","composer.submit.loadingLocalConfig":"Inapakia...","composer.submit.missingCloudConfig":"Ni lazima uchague mazingira ya wingu","composer.submit.missingCloudTurn":"Haikwezi kufuatilia shughuli hii","composer.submit.noWorkspace":"Ongeza mradi ili kutumia Codex","composer.submit.waitForImageUploads":"Inapakia picha…","composer.submitButtonTooltip.send":"Tuma","composer.submitButtonTooltip.stop":"Sitisha","composer.worktreeEnvironment.create":"Unda mazingira ya eneo","composer.worktreeEnvironment.default":"Mazingira chaguomsingi","composer.worktreeEnvironment.error":"Hitilafu katika kupakia mazingira","composer.worktreeEnvironment.loading":"Inapakia mazingira…","composer.worktreeEnvironment.title":"Mazingira ya ndani","composer.worktreeEnvironment.tooltip":"Chagua mazingira ya ndani","composer.worktreeSetupFailed":"Usanidi wa mti wa kazi umeshindikana. Angalia .codex/environments kwa ajili ya nakala ya usanidi.","compoundButton.secondaryAction":"Hatua ya pili","copyButton.copied":"Imenakiliwa","copyButton.copiedAriaLabel":"Imenakiliwa","copyButton.copy":"Nakili","copyButton.copyAriaLabel":"Nakili","copyButton.copyCode":"Nakili msimbo","diff.actionButton.revertFile":"Geuza Faili","diff.actionButton.revertHunk":"Rejesha","diff.actionButton.revertSection":"Geuza zote","diff.actionButton.revertSectionLabel":"Geuza zote","diff.actionButton.stageFile":"Panga Faili","diff.actionButton.stageHunk":"Panga","diff.actionButton.stageSection":"Panga zote","diff.actionButton.stageSectionLabel":"Panga zote","diff.actionButton.unstageFile":"Acha Kupanga Faili","diff.actionButton.unstageHunk":"Acha kupanga","diff.actionButton.unstageSection":"Acha kupanga zote","diff.actionButton.unstageSectionLabel":"Acha kupanga zote","diff.fileHeader.toggle":"Geuza diff ya faili","electron.onboarding.login.apikey.cancel":"Ghairi","electron.onboarding.login.apikey.continue":"Endelea","electron.onboarding.login.apikey.label":"Ufunguo wa API wa OpenAI","electron.onboarding.login.apikey.open":"Ingiza ufunguo wa API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Ghairi uingiaji","electron.onboarding.login.chatgpt.continue":"Endelea kwa ChatGPT","electron.onboarding.login.devbox":"Unganisha kwenye SSH ya mbali","electron.onboarding.login.error":"Imeshindwa kuingia: {rawMessage}","electron.onboarding.login.snake.start":"Cheza Snake","electron.onboarding.login.sshConfig.cancel":"Ghairi","electron.onboarding.login.sshConfig.continue":"Endelea","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Ile njia bora zaidi ya kujenga na wakala","electron.onboarding.login.title":"Karibu kwenye Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Endelea","electron.onboarding.welcome.doubleLimits.description":"Katika kusherehekea uzinduzi wa programu ya Codex, una vikomo vya kiwango cha 2× hadi Aprili 2.","electron.onboarding.welcome.freego.description":"Codex imejumuishwa katika mpango wako bila malipo hadi tarehe 2 Machi — tuanze kujenga pamoja.","electron.onboarding.welcome.new.title.anon":"Karibu!","electron.onboarding.workspace.continue":"Endelea","electron.onboarding.workspace.empty":"Ongeza mradi ili kuendelea.","electron.onboarding.workspace.listLabel":"Miradi inayopatikana","electron.onboarding.workspace.loading":"Inapakia miradi…","electron.onboarding.workspace.openFolder":"Ongeza mradi","electron.onboarding.workspace.selectAll":"Chagua zote","electron.onboarding.workspace.skip":"Ruka","electron.onboarding.workspace.skip.error":"Haikuweza kuunda mradi mpya: {message}","electron.onboarding.workspace.skip.error.unknown":"Hitilafu isiyojulikana","electron.onboarding.workspace.skipping":"Inaunda mradi mpya…","electron.onboarding.workspace.subtitle":"Codex itaweza kuhariri faili na kuendesha amri katika folda zilizochaguliwa.","electron.onboarding.workspace.title":"Chagua mradi","errorPage.list.checkSettings":"Jaribu kusasisha mipangilio yako ya IDE","errorPage.list.configToml":"Angalia config.toml yako kwa ajili ya mipangilio isio halali","errorPage.list.downloadExtension":"Jaribu kupakua toleo tofauti la mkondo","errorPage.list.runInWsl":"Angalia mipangilio yako ili kulemaza kuendesha kwenye WSL ikiwa unaona matatizo ya utangamanifu","execApprovalRequest.menu.runAlways":"Ndiyo, na usiulize tena katika kipindi hiki","execApprovalRequest.menu.runAlwaysWithAmendment":"Ndiyo, na usiulize tena amri ambazo zinaanza kwa {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ndiyo na usiulize tena amri ambazo zinaanza kwa","execApprovalRequest.menu.runOnce":"Ndiyo","execApprovalRequest.prompt":"Je, unataka kutekeleza amri hii?","execApprovalRequest.reject":"Hapana","execFooter.exitCode":"Msimbo wa kutoka {code}","execFooter.exitCode.unknown":"haijulikani","execFooter.success":"Mafanikio","feedback.dialog.category.badResult":"Matokeo mbaya","feedback.dialog.category.bug":"Kasoro","feedback.dialog.category.goodResult":"Matokeo mazuri","feedback.dialog.category.other":"Nyingine","feedback.dialog.descriptionPlaceholder":"Fafanua tatizo hapa","feedback.dialog.dismiss":"Funga","feedback.dialog.includeLogsLabel":"Jumuisha ripoti za kikao cha Codex cha sasa","feedback.dialog.submit":"Wasilisha","feedback.dialog.submitError":"Hatukuweza kuwasilisha maoni yako. Tafadhali jaribu tena baada ya muda mfupi.","feedback.dialog.title":"Maoni","feedback.dialog.uploadedMessage.existingIssue":"tatizo wazi lililopo","feedback.dialog.uploadedMessage.openIssue":"fungua tatizo la GitHub","feedback.dialog.uploadedMessage.withThread":"Maoni yamepakiwa. Tatizo likiendelea, tafadhali {openIssueLink} au taja kitambulisho cha tukio katika {existingIssueLink}:","feedback.dialog.uploadedTitle":"Maoni yamepakiwa","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Ondoa {filename}","header.back":"Nyuma","header.recentChats":"Shughuli","header.recentTasks.seeAll":"Tazama zote ({total})","home.header.getPlus":"Pata Plus","home.hero.letsBuild":"Acha tujenge","homePage.mainContent":"Maudhui kuu","imageAttachment.defaultName":"picha","imageAttachment.preview.close":"Funga dokezo la picha","imageAttachment.removeAriaLabel":"Ondoa {filename}","implementPlanRequest.option.implement":"Ndiyo, tekeleza mpango huu","implementPlanRequest.prompt":"Je, utatekeleza mpango huu?","inbox.archived.deleteError":"Haikuweza kufuta uendeshaji uliohifadhiwa kwenye kumbukumbu","inbox.archived.deleteRun":"Futa uendeshaji uliohifadhiwa kwenye kumbukumbu","inbox.archived.deleteSuccess":"Mazungumzo yaliyohifadhiwa kwenye kumbukumbu yamefutwa. Tazama <settingsLink>Mazungumzo yaliyohifadhiwa kwenye kumbukumbu</settingsLink>.","inbox.archived.inlineLabel.auto":"Mazungumzo haya yalihifadhiwa kwenye kumbukumbu kiotomatiki. <learnMoreLink>Pata maelezo zaidi</learnMoreLink>","inbox.archived.inlineLabel.manual":"Mazungumzo haya yalihifadhiwa kwenye kumbukumbu.","inbox.archived.noMessageFound":"Hakuna ujumbe uliopatikana","inbox.automations.createError":"Haikuweza kuunda ufanyaji otomatiki","inbox.automations.deleteConfirm.cancel":"Ghairi","inbox.automations.deleteConfirm.confirm":"Futa ufanyaji otomatiki","inbox.automations.deleteConfirm.description":"Hii itafuta daima ufanyaji otomatiki na kusitisha uendeshaji wowote wa siku za usoni.","inbox.automations.deleteConfirm.title":"Je, utafuta {name}?","inbox.automations.deleteError":"Haikuweza kufuta ufanyaji otomatiki","inbox.automations.editTooltip":"Hariri otomatiki","inbox.automations.inProgress":"Inaendelea","inbox.automations.new":"Mpya","inbox.automations.newToolbar":"Ufanyaji otomatiki mpya","inbox.automations.pauseTooltip":"Sitisha otomatiki","inbox.automations.resumeTooltip":"Endelea na otomatiki","inbox.automations.startingNow":"Kuanzia sasa","inbox.automations.startsIn":"Inaanza katika {startTime}","inbox.automations.status.active":"Amilifu","inbox.automations.status.paused":"Imesitishwa","inbox.automations.status.runs":"uendeshaji {count}","inbox.automations.status.started":"Ilianza {date}","inbox.automations.updateError":"Haikuweza kusasisha ufanyaji otomatiki","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Zote","inbox.filter.ariaLabel":"Chuja vipengee vya kisanduku","inbox.filter.unread":"Haijasomwa","inbox.list.archived":"Iliyohifadhiwa kwenye kumbukumbu","inbox.list.inProgress":"Inaendelea","inbox.list.recent":"Imekamilisha","inbox.list.upNext":"Zimeratibiwa","inbox.mode.automations":"Ufanyaji otomatiki","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Hakuna maelezo yametolewa","inbox.openThread":"Fungua tukio","inbox.rightPanel.emptySubtitle":"Fanya kazi iwe otomatiki kwa kusanidi shughuli zilizoratibiwa","inbox.rightPanel.emptySubtitle.learnMore":"Fanya kazi iwe otomatiki kwa kusanidi mazungumzo yaliyoratibiwa. <link>Pata maelezo zaidi</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {Ufanyaji otomatiki # amilifu} other {Ufanyaji otomatiki # amilifu}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Hakuna ufanyaji otomatiki ambao haujasomwa","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {Ufanyaji otomatiki # ambao haujasomwa} other {Ufanyaji otomatiki # ambao haujasomwa}}","inbox.rightPanel.emptyTitle":"Hakuna kipengee kimechaguliwa","inbox.rightPanel.noThread":"Hakuna tukio kwa kipengee hiki","inbox.rightPanel.quickStart.header":"Anza kwa kiolezo","inbox.untitled":"Kipengee cha kisanduku kisicho na kichwa","loadingPage.documentationLink":"hati","loadingPage.errorDescription":"Codex imeanguka kwa hitilafu inayofuata.","loadingPage.errorDescription.documentation":"Bofya pakia upya ili kuanza mkondo wa Codex au tembelea {documentationLink} yetu kwa ajili ya usaidizi wa ziada.","loadingPage.errorSignal":"Baadhi ya mambo ya kujaribu:","loadingPage.errorTitle":"Hitilafu imetokea","loadingPage.openConfigToml":"Fungua Config.toml","loadingPage.reload":"Pakia upya","localConversation.contextCompacted":"Muktadha umefinyizwa kiotomatiki","localConversation.contextCompacting":"Inafinyiza muktadha kiotomatiki","localConversation.forkedFromConversation":"Imegawanywa kutoka {threadTitle}","localConversation.merge.autoResolve.failed":"Imeshindwa kuomba usuluhishaji otomatiki: {error}","localConversation.merge.autoResolve.sent":"Ombi la kusuluhisha kiotomatiki limetumwa","localConversation.merge.autoResolveMerge.missingConversation":"Haikuweza kusuluhisha kiotomatiki bila mazungumzo amilifu.","localConversation.merge.autoResolveMerge.request":"Suluhisha kiotomatiki migogoro ya kuunganisha","localConversation.modelChanged":"Muundo umebadilishwa kutoka {fromModel} hadi {toModel}.","localConversation.modelChanged.warning.line1":"Kubadilisha miundo katikati mwa mazungumzo kutadhoofisha utendaji.","localConversation.modelChanged.warning.line2":"Muktadha unaweza kufinyizwa kiotomatiki.","localConversation.moveThread.createBranch.label":"Unda tawi","localConversation.moveToLocal.disabled.loading":"Inapakia...","localConversation.moveToLocal.modal.continue":"Endelea","localConversation.moveToLocal.modal.destinationLabel":"Hamisha kwenye","localConversation.moveToLocal.modal.retry":"Jaribu tena","localConversation.moveToWorktree.modal.back":"Nyuma","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Tawi tayari lipo.","localConversation.moveToWorktree.modal.branchesError":"Haikuweza kupakia matawi","localConversation.moveToWorktree.modal.branchesLoading":"Inapakia matawi…","localConversation.moveToWorktree.modal.branchesRetry":"Jaribu tena","localConversation.moveToWorktree.modal.continue":"Endelea","localConversation.moveToWorktree.modal.retry":"Jaribu tena","localConversation.moveToWorktree.modal.trailingSlashError":"Jina la tawi haliwezi kumalizika kwa “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"tawi mpya","localConversation.personalityChanged":"Imebadilishwa kuwa haiba ya {personality}","localConversation.planSummary.collapse":"Kunja muhtasari wa mpango","localConversation.planSummary.collapseTooltip":"Kunja","localConversation.planSummary.download":"Mpango wa kupakua","localConversation.planSummary.expand":"Panua muhtasari wa mpango","localConversation.planSummary.expandTooltip":"Panua","localConversation.planSummary.openInNewWindow":"Fungua","localConversation.planSummary.openInNewWindow.tooltip":"Fungua katika dirisha mpya","localConversation.planSummary.title":"Mpango","localConversation.planSummary.titleWriting":"Kuandika mpango","localConversation.planSummary.viewPlan":"Panua mpango","localConversation.remoteTaskCreated":"Imeunda {taskLink} kwenye Wingu la Codex","localConversation.remoteTaskCreated.task":"shughuli","localConversation.scrollToBottomButton":"Bingiriza hadi chini","localConversation.sync.buttonLabel":"Peana kwa ndani","localConversation.sync.buttonLabel.tooltip":"Wasilisha maoni kati ya mti huu wa kazi na uangalizi wako wa ndani.","localConversation.sync.modal.loading.title":"Inapeana mabadiliko…","localConversation.sync.modal.noChanges":"Hakuna mabadiliko","localConversation.syncSetup.branchAriaLabel":"Jina la tawi","localConversation.syncSetup.branchName":"Jina la tawi","localConversation.syncSetup.branchPlaceholder.existing":"Chagua tawi lililopo","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Inapakia matawi…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Tayari imetolewa","localConversation.syncSetup.checkoutClean":"Kwa sasa kwenye {branchName}","localConversation.syncSetup.checkoutDirty":"Kwa sasa kwenye {branchName} yenye mabadiliko ambayo hayajawekwa","localConversation.syncSetup.checkoutError":"Imeshindwa kutoa tawi: {message}","localConversation.syncSetup.checkoutLabel":"Tolewa kindani sasa","localConversation.syncSetup.checkoutOnLocal":"Peana kwa ndani","localConversation.syncSetup.checkoutPending":"Inaangalia hali ya ndani…","localConversation.syncSetup.checkoutUnavailable":"Eneo la kazi la ndani halipatikani","localConversation.syncSetup.checkoutUnknown":"Tawi la ndani halipatikani","localConversation.syncSetup.continue":"Endelea","localConversation.syncSetup.createBranchError":"Imeshindwa kuweka tawi la kupeana: {message}","localConversation.syncSetup.error":"Hitilafu imetokea: {message}","localConversation.syncSetup.error.workingTreeMissing":"Haikuweza kupiga picha ya hali ya mti wa kazi. Tafadhali jaribu tena kupeana.","localConversation.syncSetup.mode.ariaLabel":"Chagua hali ya tawi","localConversation.syncSetup.mode.existing":"Tawi lililopo","localConversation.syncSetup.mode.new":"Tawi jipya","localConversation.syncSetup.noBranches":"Hakuna matawi yaliyopatikana","localConversation.syncSetup.overwriteError":"Tawi limeundwa lakini halijapeanwa kikamilifu. Lipeane wewe mwenyewe kabla ya kutoa kindani.","localConversation.syncSetup.setPrefix":"Weka kiambishi awali","localConversation.syncSetup.subtitle":"Jaribu na uhariri mabadiliko ya mti wa kazi kwa ndani. <a>Pata maelezo zaidi</a>","localConversation.syncSetup.success.checkedOut":"Tawi limeundwa na limetolewa kindani","localConversation.syncSetup.success.notCheckedOut":"Tawi limeundwa","localConversation.syncSetup.title":"Peana kwa tawi la ndani","localConversation.syncWorktreeError.branchAriaLabel":"Jina la tawi","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Chagua tawi la kupeana, kisha jaribu tena kupakia mabadiliko.","localConversation.syncWorktreeError.branchSetup.title":"Sasisha tawi","localConversation.syncWorktreeError.branchUpdate.cta":"Sasisha kisha ujaribu upya","localConversation.syncWorktreeError.branchUpdate.error":"Imeshindwa kusasisha tawi: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Hitilafu imetokea: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Tawi halijatolewa kwenye mti wowote wa kazi.","localConversation.syncWorktreeV2.applyUncommitted":"Tumia","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Ni lazima utoe tawi kindani ili kutumia mabadiliko ambayo hayajawekwa","localConversation.syncWorktreeV2.branches.empty":"Hakuna matawi yaliyopatikana","localConversation.syncWorktreeV2.branches.loading":"Inapakia matawi…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Badilisha tawi la kupeana","localConversation.syncWorktreeV2.changeBranch.error":"Imeshindwa kubadilisha tawi la kupeana: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Utumiaji umeshindikana","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Kuandika upya mti wa kazi kumeshindikana","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Kuandika upya ya ndani kumeshindikana","localConversation.syncWorktreeV2.commandError.back":"Nyuma","localConversation.syncWorktreeV2.commandError.body":"Amri ya git imeshindikana wakati wa kupeana. Hakiki matokeo kisha ujaribu tena.","localConversation.syncWorktreeV2.commandError.retry":"Jaribu tena","localConversation.syncWorktreeV2.description":"Peana mabadiliko kati ya ndani na mti huu wa kazi <a>Pata maelezo zaidi</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Chagua mwelekeo wa kupeana","localConversation.syncWorktreeV2.error.generic":"Hitilafu imetokea wakati wa kupeana. Jaribu tena.","localConversation.syncWorktreeV2.localBranchLabel":"Ndani","localConversation.syncWorktreeV2.noChanges":"Kuhesabu mabadiliko","localConversation.syncWorktreeV2.noChanges.summary":"Hakuna mabadiliko","localConversation.syncWorktreeV2.overwrite.local":"Andika upya ya ndani","localConversation.syncWorktreeV2.overwrite.worktree":"Andika upya mti wa kazi","localConversation.syncWorktreeV2.partial.action.applyFailed":"Haikuweza kutumia mabadiliko","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Haikuweza kuandika upya mabadiliko ya ndani","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Haikuweza kuandika upya mabadiliko ya mti wa kazi","localConversation.syncWorktreeV2.partial.appliedLabel":"Imetumiwa","localConversation.syncWorktreeV2.partial.back":"Nyuma","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Suluhisha migogoro kisha ujaribu tena.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Migogoro","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {Faili #} other {Faili #}}","localConversation.syncWorktreeV2.partial.retry":"Jaribu tena","localConversation.syncWorktreeV2.partial.skippedLabel":"Imeruka","localConversation.syncWorktreeV2.stateFailed.generic":"Hitilafu imetokea wakati wa kupata mabadiliko ya mti wa kazi ili kupeana. Tafadhali jaribu tena.","localConversation.syncWorktreeV2.stateFailed.title":"Imeshindwa kupakia mabadiliko ya mti wa kazi","localConversation.syncWorktreeV2.statusError.diffUnknown":"Imeshindwa kupakia mabadiliko ya mti wa kazi.","localConversation.syncWorktreeV2.statusError.retry":"Jaribu tena","localConversation.syncWorktreeV2.statusError.title":"Haikuweza kupakia mabadiliko ya tawi la ndani","localConversation.syncWorktreeV2.statusError.unknown":"Hali ya tawi haipatikani sasa hivi. Jaribu tena.","localConversation.syncWorktreeV2.success.apply":"Imefaulu kutumia mabadiliko","localConversation.syncWorktreeV2.success.overwrite":"Upeanaji umefaulu","localConversation.syncWorktreeV2.title":"Peana mabadiliko","localConversation.syncWorktreeV2.worktreeLabel":"Mti wa kazi","localConversation.userInputRequest.inProgress":"Kuuliza {count, plural, one {swali} other {maswali}}","localConversation.userInputRequest.noAnswer":"Hakuna jibu lililotolewa","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Imeulizwa","localConversation.userInputRequest.summary.count":"{count, plural, one {Swali #} other {Maswali #}}","localConversation.workedFor":"Alifanya katika {time}","localConversation.worktreeBranchSetup.action.create":"Unda","localConversation.worktreeBranchSetup.branchAriaLabel":"Jina la tawi","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Unda tawi jipya","localConversation.worktreeBranchSetup.checkoutDisabled":"Tayari tawi hili limetolewa katika {location}","localConversation.worktreeBranchSetup.checkoutError":"Imeshindwa kutoa tawi: {message}","localConversation.worktreeBranchSetup.createBranchError":"Imeshindwa kuweka tawi: {message}","localConversation.worktreeBranchSetup.error":"Hitilafu imetokea: {message}","localConversation.worktreeBranchSetup.subtitle":"Unda tawi ili kutekeleza mabadiliko, kusukuma na kuunda PR kutoka kwa mti huu wa kazi. <a>Pata maelezo zaidi</a>","localConversation.worktreeBranchSetup.title":"Fanya kazi hapa","localConversationPage.addWorktreeToSidebar.tooltip":"Hifadhi kama mradi ili uweze kuanza mazungumzo mapya kutoka kwa mti huu wa kazi","localConversationPage.addWorktreeToSidebarError":"Imeshindwa kuongeza mradi","localConversationPage.commitAndCreatePrModal.errorTitle":"Kutekeleza na kuunda PR kumeshindikana","localConversationPage.commitAndCreatePrModal.successTitle":"Imetekeleza na kuunda PR","localConversationPage.commitAndPushModal.errorTitle":"Kutekeleza na kusukuma kumeshindikana","localConversationPage.commitAndPushModal.successTitle":"Imetekeleza na kusukuma mabadiliko","localConversationPage.commitCreatePr.open":"Fungua ombi la kuleta","localConversationPage.commitCreatePr.successTitle":"Imeunda PR kwa kutumia mabadiliko yako ya hivi karibuni","localConversationPage.createBranchButtonLabel":"Tengeneza tawi hapa","localConversationPage.createPrModal.baseBranch":"Msingi","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Unda PR","localConversationPage.createPrModal.createDescription":"Fungua ombi la kuleta kwa ajili ya mabadiliko yako ya hivi karibuni.","localConversationPage.createPrModal.errorTitle":"Ombi la kuleta limeshindikana","localConversationPage.createPrModal.headBranch":"Kichwa","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Fungua PR","localConversationPage.createPrModal.successTitle":"Ombi la kuleta limeundwa","localConversationPage.createPrModal.title":"Unda ombi la kuleta","localConversationPage.createPrModal.viewDescription":"Tayari ombi la kuleta lipo la tawi hili.","localConversationPage.createPrModal.viewTitle":"Ombi la kuleta lipo tayari","localConversationPage.createPullRequestAuthGh":"Halalisha GitHub CLI: endesha `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Maelezo ya tawi hayapatikani","localConversationPage.createPullRequestButtonLabel":"Unda PR","localConversationPage.createPullRequestButtonLabel.loading":"Inaunda PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Maelezo ya tawi chaguomsingi hayapatikani","localConversationPage.createPullRequestError":"Imeshindakana kuunda ombi la kuleta","localConversationPage.createPullRequestExistingPullRequest":"Ombi la kuleta lipo tayari kwa tawi hili","localConversationPage.createPullRequestGhStatusMissing":"Inapakia hali ya GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Sakinisha GitHub CLI (gh) ili kuunda PR","localConversationPage.createPullRequestNoRepo":"Hakuna hazina ya git imepatikana","localConversationPage.createPullRequestPushStatusMissing":"Inapakia hali ya msukumo…","localConversationPage.createPullRequestSetUpstream":"Sukuma tawi hili kabla ya kuunda PR","localConversationPage.createPullRequestSuccessToast":"Ombi la kuleta limeundwa","localConversationPage.createPullRequestSwitchBranch":"Angalia tawi la kipengele kabla ya kuunda PR","localConversationPage.error.render":"Hitilafu katika kutoa mazungumzo ya ndani","localConversationPage.error.toast":"Mazungumzo hayajapatikana","localConversationPage.forcePushError":"Imeshindwa kulazimisha msukumo","localConversationPage.generatePullRequestMessageError":"Imeshindwa kuzalisha mwili na kichwa cha ombi la kuleta","localConversationPage.generatePullRequestMessageFailed":"Imeshindwa kuzalisha mwili na kichwa cha ombi la kuleta.","localConversationPage.gitActionResult.branch":"Tawi","localConversationPage.gitActionResult.cancel":"Ghairi","localConversationPage.gitActionResult.close":"Funga","localConversationPage.gitActionResult.tryAgain":"Jaribu tena","localConversationPage.gitActions":"Matendo ya git","localConversationPage.newChat":"Chati mpya","localConversationPage.openInTarget":"Fungua kwenye","localConversationPage.openPrimaryTarget":"Fungua","localConversationPage.planItemsCompleted":"{completedItems} kati ya {totalItems, plural, one {Shughuli # imekamilika} other {Shughuli # zimekamilishwa}}","localConversationPage.pushAuthError":"Msukumo umeshindikana: uthibitishaji unahitajika","localConversationPage.pushBranchMissing":"Maelezo ya tawi hayapatikani","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Inasukuma…","localConversationPage.pushError":"Imeshindwa kusukuma mabadiliko","localConversationPage.pushModal.branchLabel":"Tawi","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Ghairi","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Sukuma vitekelezwa vyako vya hivi karibuni kwenye hazina ya mbali.","localConversationPage.pushModal.errorTitle":"Kusukuma kumeshindikana","localConversationPage.pushModal.forcePush":"Lazimisha kusukuma","localConversationPage.pushModal.successTitle":"Kusukuma kumekamilishwa","localConversationPage.pushModal.title":"Sukuma mabadiliko","localConversationPage.pushModal.tryAgain":"Jaribu tena","localConversationPage.pushNoUpstream":"Weka upitishaji kabla ya kusukuma tawi hili","localConversationPage.pushNoUpstreamError":"Msukumo umeshindikana: hakuna njia imesanidiwa","localConversationPage.pushNothingToPush":"Hakuna utekelezaji mpya wa kusukuma","localConversationPage.pushRemoteChangedError":"Msukumo umeshindikana: rimoti ina utekelezaji mpya","localConversationPage.pushRemoteRejectedError":"Msukumo umekataliwa na rimoti","localConversationPage.pushStatusMissing":"Inapakia hali ya msukumo…","localConversationPage.pushSuccessToast":"Mabadiliko yaliyosukumwa","localConversationPage.viewPullRequestButtonLabel":"Tazama PR","localConversationPage.viewPullRequestButtonLabel.loading":"Inaleta ombi la kuleta…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {Faili #} other {Faili #}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {#Orodha} other {#Orodha}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {Utafutaji #} other {Utafutaji #}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Kugundua","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Imegunduliwa","localConversationTurn.exploration.accordion.header.complete.withCounts":"Imegundua {counts}","localConversationTurnStory.showContent":"Onyesha maudhui","localConversationTurnStory.streamContent":"Tiririsha maudhui","localConversationTurnStory.toggleReasoning":"Onyesha uwazaji","localTaskRow.archiveError":"Imeshindwa kuhifadhi mazungumzo kwenye kumbukumbu","localTaskRow.resumeError":"Haikuweza kurejelea shughuli","mermaidDiagram.ariaLabel":"Mchoro wa Nguva","mermaidDiagram.copySource":"Nakili mermaid","mermaidDiagram.originalCode":"Hali ya chanzo cha nguva","notifications.permissions.description":"Onyesha arifa wakati vibali vya taarifa vinahitajika","notifications.permissions.label":"Wezesha taarifa za kibali","notifications.turnMode.always":"Wakati wote","notifications.turnMode.description":"Weka wakati Codex inakuarifu kuwa imekamilisha","notifications.turnMode.label":"Washa taarifa za ukamilishaji","notifications.turnMode.off":"Kamwe","notifications.turnMode.unfocused":"Wakati inaangaziwa pekee","patchApprovalRequest.approve":"Idhinisha","patchApprovalRequest.menu.allowAlways":"Ndiyo, na usiulize tena katika kipindi hiki","patchApprovalRequest.menu.allowForSession":"Ndiyo, na usiulize tena katika kipindi hiki","patchApprovalRequest.menu.allowOnce":"Ndiyo","patchApprovalRequest.prompt":"Je, unataka kufanya mabadiliko haya?","patchApprovalRequest.reject":"Hapana","patchApprovalRequest.waitingForApproval":"Kusubiri idhini ya kuhariri faili","pendingRequest.approvalExec.collapse":"Kunja","pendingRequest.approvalExec.expand":"Panua","pendingRequestStory.toastAnswer":"Jibu: {answer}","pendingRequestStory.toastApprovalTitle":"Jibu la kuidhinisha","pendingRequestStory.toastFollowupPrompt":"Dokezo: {prompt}","pendingRequestStory.toastFollowupTitle":"Ufuatilizi umetumwa","pendingRequestStory.toastNoAnswers":"Hakuna majibu yaliyotolewa","pendingRequestStory.toastQuestion":"Swali: {question}","pendingRequestStory.toastUnknownDecision":"Haijulikani","pendingRequestStory.toastUserInputTitle":"Majibu yaliyowasilishwa","quickAction.request.codeReview.branches.new":"Tafadhali hakiki mabadiliko kwenye {from} dhidi ya {to}","quickAction.request.codeReview.uncommitted.new":"Tafadhali hakiki mabadiliko yoyote ambayo hayajatekelezwa","reasoningItem.thinking":"Kufikiria","reasoningItem.thought":"Mawazo","reasoningItem.thoughtWithElapsed":"Wazo la {elapsed}","recentConversations.title":"Mazungumzo ya hivi karibuni","recentTasks.worktreeInitFailedTitle":"Ya ndani ya mti wa kazi imeshindikana","recentTasks.worktreeSettingUpTitle":"Kusanidi mti wa kazi","requestInputPanel.continue":"Endelea","requestInputPanel.dismiss":"Funga","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Andika hapa","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Hapana, na uambie Codex cha kufanya moja kwa moja","requestInputPanel.selectedBadge":"Iliyochaguliwa","requestInputPanel.skip":"Ruka","requestInputPanel.submit":"Wasilisha","review.commit.ariaLabel.includeUnstaged":"Jumuisha ambayo hayajapangwa","review.commit.buttonLabel":"Jitolee","review.commit.disabled.committing":"Inatekeleza...","review.commit.disabled.loadingDiff":"Inapakia tofauti…","review.commit.disabled.missingContext":"Ongeza muktadha kiasi ili kuzalisha ujumbe wa kutekeleza","review.commit.disabled.noChanges":"Hakuna mabadiliko ya kutekeleza","review.commit.disabled.noSelection":"Chagua mabadiliko ya kutekeleza","review.commit.disabled.unavailable":"Utekelezaji haupatikani sasa hivi","review.commit.error":"Imeshindwa kutekeleza mabadiliko","review.commit.form.changesToBeCommitted":"Mabadiliko","review.commit.form.commitTo":"Tawi","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Endelea","review.commit.form.title":"Tekeleza mabadiliko yako","review.commit.generate.emptyResponse":"Haikuweza kuzalisha ujumbe wa kutekeleza.","review.commit.generate.failed":"Haikuweza kuzalisha ujumbe wa kutekeleza: {error}","review.commit.generate.missingPrompt":"Ongeza muktadha kiasi ili kuzalisha ujumbe wa kutekeleza.","review.commit.includeUnstaged":"Jumuisha ambayo hayajapangwa","review.commit.loading.description":"Subiri, hii inaweza kuchukua muda mfupi…","review.commit.loading.step.commit.done":"Mabadiliko yanayotekelezwa","review.commit.loading.step.commit.pending":"Kutekeleza mabadiliko","review.commit.loading.step.createPr.done":"Imeunda ombi la kuleta","review.commit.loading.step.createPr.pending":"Kuunda ombi la kuleta","review.commit.loading.step.push.done":"Imesukuma kwa tawi la {branch}","review.commit.loading.step.push.pending":"Inasukuma kwa tawi la {branch}","review.commit.loading.title.commit":"Kutekeleza mabadiliko","review.commit.loading.title.createPr":"Kuunda PR","review.commit.loading.title.push":"Kusukuma mabadiliko","review.commit.messageLabel":"Tuma ujumbe","review.commit.messagePlaceholder":"Acha tupu ili kuzalisha kiotomatiki ujumbe wa kuweka","review.commit.nextSteps":"Hatua zinazofuata","review.commit.nextSteps.commit":"Jitolee","review.commit.nextSteps.commitAndCreate":"Tekeleza na uunde PR","review.commit.nextSteps.commitAndPush":"Tekeleza na usukume","review.commit.nextSteps.prRequiresGh":"Huhitaji GitHub CLI: {command}","review.commit.rows.changes":"Mabadiliko","review.commit.rows.commitCount":"{count, plural, one {Utekelezaji #} other {Utekelezaji #}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {Utekelezaji #} other {Utekelezaji #}} na {stats}","review.commit.rows.fileCount":"{count, plural, one {Faili #} other {Faili #}}","review.commit.state.error.body":"Hitilafu imetokea wakati wa kutekeleza. Angalia hali yako ya git kisha ujaribu tena.","review.commit.state.error.title":"Kutekeleza kumeshindikana","review.commit.state.success.title":"Mabadiliko yametekelezwa","review.commit.untracked.loadingStats":"Inapakia takwimu za diff ambazo hazijafuatiliwa…","reviewFindingAttachments.count":"{count, plural, one {Matokeo #} other {Matokeo #}}","settings.agent.configuration.configToml":"yako ya","settings.agent.configuration.configToml.description":"Hariri usabidi wako ili kubinafsisha tabia ya wakala","settings.agent.configuration.configToml.docs":"Hati","settings.agent.configuration.configToml.restartNote":"Anzisha Codex upya baada ya kuhariri ili kutekeleza mabadiliko","settings.agent.configuration.subtitle":"Mipangilio hii inatumika popote Codex inatumiwa","settings.automations.banner.danger":"Otomatiki huendeshwa na mipangilio yako chaguomsingi ya sandbox, ambayo kwa sasa imewekwa kwa Ufikiaji Kamili. Kuendesha otomatiki za chinichini kwa Ufikiaji Kamili kuna hatari kubwa, kwani Codex inaweza kurekebisha faili, kuendesha amri, na kufikia mtandao bila kuuliza. Fikiria kusasisha mipangilio ya sandbox hadi uandishi wa eneo la kazi, na kutumia <rulesDocsLink>sheria</rulesDocsLink> ili kubainisha ni amri zipi ambazo wakala anaweza kuendesha kwa ufikiaji kamili.","settings.automations.banner.defaultHowTo.default":"Otomatiki huendeshwa na mipangilio yako chaguo-msingi ya sandbox. Uitaji wa zana utashindikana ikiwa unahitaji kurekebisha faili nje ya eneo la kazi, kufikia mtandao, au kufanya kazi na programu kwenye kompyuta yako. Unaweza kuruhusu amri maalum kuendeshwa nje ya sandbox kwa kutumia <rulesDocsLink>sheria</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Otomatiki huendeshwa na mipangilio yako chaguo-msingi ya sandbox, ambayo imewekwa kuwa ya kusoma pekee. Uitaji wa zana utashindikana ikiwa unahitaji kurekebisha faili, kufikia mtandao, au kufanya kazi na programu kwenye kompyuta yako. Fikiria kusasisha mipangilio ya sandbox hadi uandishi wa eneo la kazi.","settings.automations.cancel":"Ghairi","settings.automations.create":"Unda","settings.automations.cwdEmpty":"Hakuna folda za mradi zinazopatikana","settings.automations.cwdLabel":"Miradi","settings.automations.cwdPlaceholder":"Chagua folda","settings.automations.cwdSubtitle":"Ikiwa unataka otomatiki kuendeshwa kwenye tawi mahususi, unaweza kuibainisha kwenye dokezo lako.","settings.automations.delete":"Futa","settings.automations.dialog.editTitle":"Hariri ufanyaji upya otomatiki","settings.automations.dialog.newTitle":"Ufanyaji otomatiki mpya","settings.automations.dialog.subtitle":"Endesha kazi zinazojirudia kiotomatiki kwenye usuli. Codex huongeza matokeo kwenye kisanduku pokezi, au huhifadhi kazi kwenye kumbukumbu kiotomatiki ikiwa hakuna cha kuripoti. <learnMoreLink>Pata maelezo zaidi</learnMoreLink>","settings.automations.dialog.title":"Unda ufanyaji otomatiki","settings.automations.executionCopy.git":"Otomatiki huendeshwa kwenye usuli kwenye miti ya kazi iliyotengwa.","settings.automations.executionCopy.nonGit":"Otomatiki katika miradi isiyodhibitiwa na matoleo huendeshwa moja kwa moja kwenye saraka ya mradi. Zingatia kutumia Git ili kuwezesha kuendesha kwenye miti ya kazi ya chinichini.","settings.automations.executionEnvironment.local":"Eneo","settings.automations.executionEnvironment.worktree":"Mti wa kazi","settings.automations.loading":"Inapakia...","settings.automations.nameLabel":"Jina","settings.automations.namePlaceholder":"Angalia masuala ya sentry","settings.automations.pause":"Sitisha","settings.automations.promptLabel":"Dokezo","settings.automations.promptPlaceholder":"angalia ajali katika $Sentry","settings.automations.resume":"Rejea","settings.automations.rruleSummaryFallback":"Ratiba Maalum","settings.automations.runNow":"Jaribu","settings.automations.save":"Hifadhi","settings.automations.scheduleBadge.dayCount":"siku {count}","settings.automations.scheduleBadge.interval":"saa {count}","settings.automations.scheduleBadge.weekdays":"Siku za wiki","settings.automations.scheduleBadge.weekends":"Wikendi","settings.automations.scheduleHeader":"Ratiba","settings.automations.scheduleHours":"saa","settings.automations.scheduleLabel":"Kimbia kila","settings.automations.scheduleMode.daily":"Kila siku","settings.automations.scheduleMode.interval":"Kipindi","settings.automations.scheduleModeLabel":"Aina ya ratiba","settings.automations.scheduleSummary.daily":"Kila siku katika {time}","settings.automations.scheduleSummary.interval":"Kila saa {count}","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {Siku #} other {Siku #}}","settings.automations.scheduleSummary.intervalDays":"{interval} kwenye {days}","settings.automations.scheduleSummary.intervalHourly":"Kila saa","settings.automations.scheduleSummary.singleDay":"{day} katika {time}","settings.automations.scheduleSummary.weekdays":"Siku za wiki katika {time}","settings.automations.scheduleSummary.weekdaysLabel":"siku za wiki","settings.automations.scheduleSummary.weekends":"Wikendi katika {time}","settings.automations.scheduleSummary.weekendsLabel":"wikendi","settings.automations.scheduleSummary.weekly":"{days} katika {time}","settings.automations.scheduleWeekdays":"Imewashwa","settings.automations.weekdayState.excluded":"Haijajumuishwa","settings.automations.weekdayState.included":"Imejumuishwa","settings.conversationDetail.steps":"Hatua","settings.conversationDetail.steps.description":"Ficha amri na vitolewa","settings.conversationDetail.stepsWithCommands":"Hatua kwa amri za msimbo","settings.conversationDetail.stepsWithCommands.description":"Onyesha amri, kunja kitolewa","settings.conversationDetail.stepsWithOutput":"Hatua kwa kitolewa cha msimbo","settings.conversationDetail.stepsWithOutput.description":"Onyesha amri na upanue kitolewa","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Hakuna chati zilizohifadhiwa kwenye kumbukumbu.","settings.dataControls.archivedChats.error":"Haikuweza kupakia chati zilizohifadhiwa kwenye kumbukumbu.","settings.dataControls.archivedChats.loading":"Inapakia chati zilizohifadhiwa kwenye kumbukumbu…","settings.dataControls.archivedChats.unarchive":"Ondoa kwenye kumbukumbu","settings.dataControls.archivedChats.unarchiveError":"Imeshindwa kuondoa chati kwenye hifadhi ya kumbukumbu","settings.dataControls.archivedChats.unarchiveSuccess":"Tukio ambalo halijahifadhiwa kwenye kumbukumbu. <viewNowLink>Tazama sasa</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Mazungumzo yameondolewa kwenye kumbukumbu.","settings.dataControls.archivedChats.untitled":"Chati isio na kichwa","settings.dataControls.archivedChats.viewNow":"Tazama sasa","settings.editRow.headerPlaceholder":"Ufunguo","settings.editRow.removeEntry":"Ondoa ingizo","settings.editRow.valuePlaceholder":"Value","settings.general.appearance":"Mwonekano","settings.general.appearance.codeFont":"Mwandiko wa msimbo","settings.general.appearance.codeFont.description":"Rekebisha mwandiko na ukubwa unaotumiwa kwa msimbo kwenye chati na tofauti","settings.general.appearance.codeFontFamily":"Code font family","settings.general.appearance.codeFontSize":"Ukubwa wa mwandiko wa kusimba","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Fanya madirisha yatumie mandharinyuma thabiti badala ya uwazi wa nusu wa mfumo","settings.general.appearance.opaqueWindows.label":"Tumia mandharinyuma ya dirisha isiyo na uwazi","settings.general.appearance.sansFontFamily":"Code font family","settings.general.appearance.sansFontFamily.description":"Rekebisha mwandiko uliotumiwa kwa Codex UI","settings.general.appearance.sansFontSize":"Ukubwa wa fonti ya Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Onyesha athari za sherehe ya dirisha kamili wakati GPT-5.3-Codex-Spark inaendesha mgeuko wa kwanza","settings.general.appearance.sparkCelebrationEffects.label":"Athari za sherehe za cheche","settings.general.appearance.theme":"Mada","settings.general.appearance.theme.dark":"Giza","settings.general.appearance.theme.description":"Tumia angavu, giza au linganisha mfumo wako","settings.general.appearance.theme.light":"Mwanga","settings.general.appearance.theme.system":"Mfumo","settings.general.appearance.usePointerCursors.description":"Badilisha kishale kuwa kielekezi unapoelea juu ya vipengele shirikishi","settings.general.appearance.usePointerCursors.label":"Tumia vishale vya kielekezi","settings.general.enterBehavior.description":"Inapowezeshwa, vidokezo vingi vinahitaji {modifierSymbol} + enter ili kutuma.","settings.general.enterBehavior.label":"Hitaji {modifierSymbol} + enter ili kutuma vidokezo virefu","settings.general.experimentalFeatures":"Vipengele vya majaribio (Beta)","settings.general.experimentalFeatures.empty":"Hakuna vipengele vya majaribio vya beta vinapatikana.","settings.general.experimentalFeatures.loading":"Inapakia vipengele vya majaribio…","settings.general.experimentalFeatures.restartNote":"Anzisha upya Codex ili kutumia mabadiliko ya kipengele cha jaribio","settings.general.experimentalFeatures.toggle":"Geuza {featureName}","settings.general.followUpQueueMode.description":"Panga ufuatilizi wakati Codex inaendesha au kuelekeza uendeshaji wa sasa. Bonyeza {invertFollowUpShortcutLabel} ili kufanya kinyume kwa ujumbe mmoja.","settings.general.followUpQueueMode.interrupt":"Elekeza","settings.general.followUpQueueMode.label":"Tabia ya kufuatilia","settings.general.followUpQueueMode.queue":"Panga","settings.general.notifications":"Taarifa","settings.general.power.preventSleepWhileRunning.description":"Weka kampuni yako ikiwa imewaka wakati Codex inaendesha tukio.","settings.general.power.preventSleepWhileRunning.label":"Zuia kulala wakati wa kuendesha","settings.git.branchPrefix.ariaLabel":"Kiambishi awali cha tawi","settings.git.branchPrefix.description":"Kiambishi awali kilichotumiwa wakati wa kuunda matawi mpya kwenye Codex","settings.git.branchPrefix.label":"Kiambishi awali cha tawi","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Imeshindwa kuhifadhi kiambishi awali cha tawi","settings.git.branchPrefix.save.success":"Kiambishi awali cha tawi kilichohifadhiwa","settings.git.commitInstructions.ariaLabel":"Tekeleza maagizo","settings.git.commitInstructions.description":"Imeongezwa kwenye vidokezo vya uzalishaji wa ujumbe wa kutekeleza","settings.git.commitInstructions.label":"Maagizo ya kutekeleza","settings.git.commitInstructions.placeholder":"Ongeza mwongozo wa ujumbe wa kutekeleza…","settings.git.commitInstructions.save":"Hifadhi","settings.git.commitInstructions.save.error":"Imeshindwa kuhifadhi maagizo ya kutekeleza","settings.git.commitInstructions.save.success":"Imehifadhi maagizo ya kutekeleza","settings.git.forcePush.ariaLabel":"Lazimisha msukumo kila wakati","settings.git.forcePush.description":"Tumia --force-with-lease wakati wa kusukuma kutoka kwa Codex","settings.git.forcePush.label":"Lazimisha msukumo kila wakati","settings.git.forcePush.save.disabled":"Lazimisha msukumo kila wakati imelemazwa","settings.git.forcePush.save.enabled":"Lazimisha msukumo kila wakati imewezeshwa","settings.git.forcePush.save.error":"Imeshindwa kuhifadhi mpangilio wa kulazimisha msukumo","settings.git.prInstructions.ariaLabel":"Maagizo ya ombi la kuleta","settings.git.prInstructions.description":"Imeongezwa ili kuleta mwili wa ombi ulioundwa na Codex","settings.git.prInstructions.label":"Maagizo ya ombi la kuleta","settings.git.prInstructions.placeholder":"Ongeza mwongozo wa ombi la kuleta…","settings.git.prInstructions.save":"Hifadhi","settings.git.prInstructions.save.error":"Imeshindwa kuhifadhi maagizo ya ombi la kuleta","settings.git.prInstructions.save.success":"Imehifadhi maagizo ya ombi la kuleta","settings.ide.defaultOpenTarget.description":"Ambapo faili na fiolda zinafunguka kwa chaguomsingi","settings.ide.defaultOpenTarget.label":"Mwisho wa safari wazi chaguomsingi","settings.ide.defaultOpenTarget.placeholder":"Hakuna malengo yamepatikana","settings.ide.language.auto":"Gundua Kiotomatiki","settings.ide.language.autoOption":"Gundua Kiotomatiki","settings.ide.language.description":"Lugha ya UI ya programu","settings.ide.language.label":"Lugha","settings.ide.language.search":"Tafuta lugha","settings.layout.actionButton":"Anza upya mkondo","settings.layout.actionTitle":"Mipangio kwa kitendo","settings.layout.fullWidthTitle":"Mipangilio (Upana kamili)","settings.layout.title":"Mipangilio","settings.localEnvironments.actions.add":"Ongeza hatua","settings.localEnvironments.actions.add.description":"Unda amri mpya ili kuendesha kutoka kwenye upau wa zana.","settings.localEnvironments.actions.add.save":"Hifadhi","settings.localEnvironments.actions.empty":"Ongeza hatua ili kuendesha amri kutoka kwenye upau wa zana wa ndani.","settings.localEnvironments.actions.icon.debug":"Tatua","settings.localEnvironments.actions.icon.run":"Run","settings.localEnvironments.actions.icon.test":"Jaribu","settings.localEnvironments.actions.icon.tool":"Zana","settings.localEnvironments.actions.item.button.delete":"Futa","settings.localEnvironments.actions.item.command":"Nukuu ya hatua","settings.localEnvironments.actions.item.name":"Jina","settings.localEnvironments.actions.item.platforms":"Majukwaa","settings.localEnvironments.actions.item.platforms.help":"Endesha kwenye OS mahususi pekee.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Uchaguzi wa jukwaa","settings.localEnvironments.actions.item.platforms.specific":"Mahususi kwa jukwaa","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Futa","settings.localEnvironments.actions.title":"Vitendo","settings.localEnvironments.breadcrumb.back":"Nyuma","settings.localEnvironments.breadcrumb.edit":"hariri","settings.localEnvironments.breadcrumb.root":"Mazingira","settings.localEnvironments.environment.actions.description":"Hatua hizi zinaweza kuendesha amri yoyote na zitaonyeshwa kwenye kichwa.","settings.localEnvironments.environment.actionsLabel":"Vitendo","settings.localEnvironments.environment.create":"Unda mazingira ya eneo","settings.localEnvironments.environment.defaultName":"eneo","settings.localEnvironments.environment.edit":"Hariri mazingira ya ndani","settings.localEnvironments.environment.empty":"Hakuna mazingira ya ndani yaliyosanidiwa kwa mradi huu bado.","settings.localEnvironments.environment.name":"Jina","settings.localEnvironments.environment.setup":"Sanidi nukuu","settings.localEnvironments.environment.setup.description":"Nukuu litaendeshwa kwenye uundaji wa mti wa kazi.","settings.localEnvironments.environment.setup.hint":"Huendeshwa kwenye mzizi wa mradi.","settings.localEnvironments.environment.setup.platformOverrides":"Kuondoa jukwaa","settings.localEnvironments.environment.setup.platformOverrides.add":"Ongeza nukuu {platform} ya usanidi","settings.localEnvironments.environment.setup.platformOverrides.description":"Huondoa nukuu chaguomsingi kwa OS mahususi.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Ondoa","settings.localEnvironments.environment.setup.script":"Nukuu","settings.localEnvironments.environment.title":"Maelezo ya mazingira","settings.localEnvironments.file.missing":"Hifadhi ili kuunda faili hii kwa mara ya kwanza.","settings.localEnvironments.file.parseError":"Haikuweza kufungua faili zilizopo. Kuhifadhi kutaiondoa. ({error})","settings.localEnvironments.file.path":"Faili: {path}","settings.localEnvironments.file.readError":"Imeshindwa kupakia data ya mazingira ya eneo. ({error})","settings.localEnvironments.file.title":"Faili ya mazingira ya ndani","settings.localEnvironments.loading.body":"Inapata usanidi wa mradi wako.","settings.localEnvironments.loading.title":"Inapakia mazingira ya ndani","settings.localEnvironments.preview.devOnly":"(DEV pekee)","settings.localEnvironments.preview.save":"Hifadhi","settings.localEnvironments.preview.saveError":"Imeshindwa kuhifadhi faili. ({error})","settings.localEnvironments.preview.title":"Onyesha awali","settings.localEnvironments.save.disabled.name":"Ongeza jina la mazingira ili kuhifadhi.","settings.localEnvironments.save.disabled.noChanges":"Hakuna mabadiliko ya kuhifadhi.","settings.localEnvironments.save.disabled.saving":"Inahifadhi...","settings.localEnvironments.save.success":"Mazingira ya ndani yaliyohifadhiwa","settings.localEnvironments.unavailable.body":"Hatukuweza kupakia mipangilio ya mazingira ya ndani kwa mradi huu.","settings.localEnvironments.unavailable.title":"Mazingira ya ndani hayapatikani","settings.localEnvironments.workspace.add":"Ongeza mradi","settings.localEnvironments.workspace.title":"Mradi","settings.localEnvironments.workspaceSelect.addLabel":"Ongeza mazingira","settings.localEnvironments.workspaceSelect.description":"Mazingira ya ndani yanaambia Codex jinsi ya kusanidi miti ya kazi kwa mradi. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Bado hakuna miradi. Ongeza mmoja ili kusanidi mazingira ya ndani.","settings.localEnvironments.workspaceSelect.errorLabel":"Mazingira yanahitaji umakini","settings.localEnvironments.workspaceSelect.learnMore":"Pata maelezo zaidi","settings.localEnvironments.workspaceSelect.listLabel":"Miradi inayopatikana","settings.localEnvironments.workspaceSelect.loading":"Kupakia miradi.","settings.localEnvironments.workspaceSelect.loadingLabel":"Kupakia mazingira","settings.localEnvironments.workspaceSelect.title":"Chagua mradi","settings.localEnvironments.workspaceSelect.viewAction":"Tazama","settings.mcp.addServer":"Ongeza seva","settings.mcp.app.configure":"Sanidi","settings.mcp.app.connect":"Unganisha","settings.mcp.apps.refresh":"Sasisha","settings.mcp.detail.addArgument":"Ongeza majadiliano","settings.mcp.detail.addEnvVar":"Ongeza vigeukaji vya mazingira","settings.mcp.detail.addEnvVarPassthrough":"Ongeza kigeukaji","settings.mcp.detail.args":"Hoja","settings.mcp.detail.back":"Nyuma","settings.mcp.detail.command":"Amrisha ili kuzindua","settings.mcp.detail.cwd":"Orodha ya kufanya kazi","settings.mcp.detail.docs":"Fungua hati ya MCP","settings.mcp.detail.docs.link":"Hati","settings.mcp.detail.envVarPassthrough":"Upitaji wa vigeugeu vya mazingira","settings.mcp.detail.envVars":"Vigeukaji vya mazingira","settings.mcp.detail.http.addEnvHeader":"Ongeza kigeukaji","settings.mcp.detail.http.addHeader":"Ongeza kichwa","settings.mcp.detail.http.bearerToken":"Env var ya tokeni ya mbebaji","settings.mcp.detail.http.envHeaders":"Vichwa kutoka kwa vigeukaji vya mazingira","settings.mcp.detail.http.headers":"Vichwa","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Jina","settings.mcp.detail.save":"Hifadhi","settings.mcp.detail.switchTransportNotice":"Ikiwa ungependa kubadilisha aina ya seva ya MCP, tafadhali sakinusha kwanza.","settings.mcp.detail.titleExisting":"Sasisha MCP ya {name}","settings.mcp.detail.titleNew":"Unganisha kwenye MCP maalum","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Sakinusha","settings.mcp.empty":"Hakuna seva za MCP maalum zimeunganishwa","settings.mcp.myServers":"Seva maalum","settings.mcp.partnerServer.description.figma":"Zalisha msimbo bora zaidi kwa kuleta kikamilifu muktadha wa Figma","settings.mcp.partnerServer.description.github":"Jumuisha na API za GitHub ili kufanya otomatiki mitiririko ya kazi na kuchopoa data","settings.mcp.partnerServer.description.linear":"Jumlisha na ufuatilizi wa tatizo la Linear na udhibiti wa mradi","settings.mcp.partnerServer.description.notion":"Soma hati, sasisha kurasa, dhibiti shughuli","settings.mcp.partnerServer.description.playwright":"Jumlisha ufanyaji otomatiki wa kivinjari ili kutekeleza ubunifu na kujaribu UI.","settings.mcp.partnerServer.install":"Sakinisha","settings.mcp.partnerServer.installAndAuthenticate":"Sakinisha na uhalalishe","settings.mcp.partnerServer.logoAlt":"Nembo ya {label}","settings.mcp.partnerServer.manage":"Dhibiti","settings.mcp.partnerServer.vendor":"imetayarishwa na {vendor}","settings.mcp.recommendedServers":"Seva zinazopendekezwa","settings.mcp.restartApp":"Anzisha upya","settings.mcp.restartExtension":"Anza upya mkondo","settings.mcp.server.enable":"Wezesha","settings.mcp.server.login":"Halalisha","settings.mcp.server.settings":"Mipangilio","settings.multiselect.createOption":'Unda "{value}"',"settings.multiselect.removeOption":"Ondoa","settings.nav.account":"Akaunti","settings.nav.agent":"Uwekaji Mipangilio","settings.nav.ariaLabel":"Mipangilio","settings.nav.back":"Rudi kwenye programu","settings.nav.data-controls":"Matukio yaliyohifadhiwa kwenye kumbukumbu","settings.nav.environments":"Mazingira ya Wingu","settings.nav.externalTooltip":"[alpha] Hufunguka kwenye kivinjari","settings.nav.general-settings":"Kawaida","settings.nav.git-settings":"Git","settings.nav.local-environments":"Mazingira","settings.nav.mcp-settings":"Seva za MCP","settings.nav.notImplemented":"[alpha] Haipatikani kwenye Alpha","settings.nav.personalization":"Ubinafsishaji","settings.nav.skills-settings":"Ujuzi","settings.nav.usage-analytics":"Matumizi na Uchambuzi","settings.nav.worktrees":"Miti ya kazi","settings.openSourceLicenses.back":"Nyuma","settings.openSourceLicenses.loading":"Inapakia...","settings.openSourceLicenses.missing":"Hakuna notisi za wahusika wengine zilizopatikana.","settings.openSourceLicenses.notSupported":"Haipatikani kwenye mpangishi huyu.","settings.openSourceLicenses.rowDescription":"Notisi za wahusika wengine kwa utegemezi uliounganishwa","settings.openSourceLicenses.rowLabel":"Leseni za chanzo huria","settings.openSourceLicenses.subtitle":"Notisi za wahusika wengine kwa vitegemezi vilivyojumuishwa","settings.openSourceLicenses.title":"Leseni za chanzo huria","settings.openSourceLicenses.view":"Tazama","settings.personalization.agents.description":"Hariri maagizo ambayo yanabinafsisha Codex kwa ajili yako. {learnMore}","settings.personalization.agents.learnMore":"Pata maelezo zaidi","settings.personalization.agents.loadError":"Haikuweza kupakia agents.md.","settings.personalization.agents.loading":"Inapakia agents.md…","settings.personalization.agents.placeholder":"Ongeza maagizo maalum yako…","settings.personalization.agents.retry":"Jaribu tena","settings.personalization.agents.save":"Hifadhi","settings.personalization.agents.save.error":"Haikuweza kuhifadhi agents.md","settings.personalization.agents.save.success":"Agents.md zilizohifadhiwa","settings.personalization.agents.title":"Maagizo maalum","settings.personalization.personality.description":"Chagua toni chaguomsingi ya majibu ya Codex","settings.personalization.personality.label":"Haiba","settings.sample.contentBody":"Tumia ruwaza hii ili kuandika paneli ya mipangilio yako kwa uwekaji nafasi unaoambatana.","settings.sample.contentTitle":"Jaribu rundo ya maudhui","settings.section.account":"Akaunti","settings.section.agent":"Uwekaji Mipangilio","settings.section.data-controls":"Matukio yaliyohifadhiwa kwenye kumbukumbu","settings.section.environments":"Mazingira ya Wingu","settings.section.external":"Hufunguka kwenye kivinjari chako wakati wa Alpha","settings.section.general-settings":"Kawaida","settings.section.git-settings":"Git","settings.section.local-environments":"Mazingira","settings.section.mcp-settings":"Seva za MCP","settings.section.mcp-settings.docs":"Hati","settings.section.mcp-settings.subtitle":"Unganisha zana za nje na vyanzo vya data.","settings.section.personalization":"Ubinafsishaji","settings.section.skills-settings":"Ujuzi","settings.section.unavailable":"Bado haipatikani kwenye Alpha","settings.section.usage-analytics":"Matumizi na Uchambuzi","settings.section.worktrees":"Miti ya kazi","settings.threadDetail.description":"Chagua kiwango cha kitolewa cha amri cha kuonyesha kwenye matukio","settings.threadDetail.label":"Maelezo ya tukio","settings.worktrees.conversation.untitled":"Mazungumzo yasiyo na kichwa","settings.worktrees.delete.error":"Imeshindwa kufuta mti wa kazi","settings.worktrees.empty.body":"Miti ya kazi iliyoundwa na Codex itatokea hapa.","settings.worktrees.empty.title":"Bado hakuna miti ya kazi","settings.worktrees.error.body":"Hitilafu imetokea wakati wa kupakia miti ya kazi.","settings.worktrees.error.retry":"Jaribu tena","settings.worktrees.error.title":"Haikuweza kupakia miti ya kazi","settings.worktrees.loading.body":"Kuleta maelezo ya mti wa kazi","settings.worktrees.loading.title":"Inapakia miti ya kazi","settings.worktrees.repository.loading":"Inapakia metadata ya hazina…","settings.worktrees.repository.unknown":"Hazina isiyojulikana","settings.worktrees.row.conversations":"Mazungumzo","settings.worktrees.row.conversations.empty":"Hakuna mazungumzo yameunganishwa na mti huu wa kazi.","settings.worktrees.row.conversations.loading":"Inapakia mazungumzo…","settings.worktrees.row.delete":"Futa","settings.worktrees.row.title":"Mti wa kazi","sidebarElectron.addWorkspaceRoot":"Ongeza mradi mpya","sidebarElectron.archiveThread":"Hifadhi kwenye kumbukumbu","sidebarElectron.archiveThreadError":"Imeshindwa kuhifadhi matukio kwenye kumbukumbu","sidebarElectron.collapseFolder":"Kunja folda","sidebarElectron.createStableWorktree.dialog.cancel":"Ghairi","sidebarElectron.createStableWorktree.dialog.create":"Unda","sidebarElectron.debugNavLink":"Tatua","sidebarElectron.editWorkspaceRootOptionName":"Hariri jina","sidebarElectron.expandFolder":"Panua folda","sidebarElectron.groupByMenu.recency":"Orodha ya kronolojia","sidebarElectron.groupByMenu.title":"Panga","sidebarElectron.groupByMenu.workspace":"Na mradi","sidebarElectron.inboxRouteNavLink":"Ufanyaji otomatiki","sidebarElectron.markThreadUnread":"Weka alama kama ambayo haijasomwa","sidebarElectron.missingWorkspaceRoot":"Folda ya mradi huu imefutwa au kuondolewa","sidebarElectron.newThread":"Tukio lipya","sidebarElectron.newThreadInGroup":"Anza tukio jipya kwenye {folder}","sidebarElectron.noRecentThreads":"Hakuna matukio ya hivi karibuni","sidebarElectron.noTasks":"Hakuna matukio","sidebarElectron.noTasks.start":"Ongeza mradi mpya","sidebarElectron.noTasksWithFilter":"Hakuna matukio yanalingana na vichujio","sidebarElectron.pinnedThreads":"Matukio yaliyobanwa","sidebarElectron.recentNavLink":"Matukio","sidebarElectron.recentThreads":"Matukio ya hivi karibuni","sidebarElectron.removeWorkspaceRootOption":"Ondoa","sidebarElectron.renameThread":"Badilisha jina la tukio","sidebarElectron.renameThreadDialogAriaLabel":"Kichwa cha tukio","sidebarElectron.renameThreadDialogCancel":"Ghairi","sidebarElectron.renameThreadDialogPlaceholder":"Ongeza kichwa…","sidebarElectron.renameThreadDialogSave":"Hifadhi","sidebarElectron.renameThreadDialogSubtitle":"Acha iwe fupi na inayoweza kutambuliwa.","sidebarElectron.renameThreadDialogTitle":"Badilisha jina la tukio","sidebarElectron.renameThreadError":"Imeshindwa kubadilisha jina la tukio","sidebarElectron.renameWorkspaceRootOptionLabel":"Onyesha jina","sidebarElectron.showLess":"Onyesha kidogo","sidebarElectron.showMenu.all":"Matukio yote","sidebarElectron.showMenu.relevant":"Husika","sidebarElectron.showMenu.relevantHint":"Onyesha tu nyuzi za hivi karibuni za tawi la sasa, miti ya kazi, au nyuzi nyingine zinazohitaji uangalifu wako","sidebarElectron.showMenu.title":"Onyesha","sidebarElectron.showMenu.tooltip":"Chuja, panga na uratibu matukio","sidebarElectron.showMenu.trigger":"Chuja matukio ya upau wa upande","sidebarElectron.showMore":"Onyesha zaidi","sidebarElectron.skillsRouteNavLink":"Ujuzi","sidebarElectron.sortMenu.created":"Imeundwa","sidebarElectron.sortMenu.title":"Panga kwa","sidebarElectron.sortMenu.updated":"Imesasishwa","sidebarElectron.taskNavigation":"Folda za ufanyaji otomatiki","sidebarElectron.tasksInFolder":"Ufanyaji otomatiki katika {folder}","sidebarElectron.workspaceOptions":"Hatua za mradi za {folder}","sidebarElectron.worktreeGroupTooltip":"Huu ni mti wa kazi wa git","skills.appsPage.createSkill":"Ujuzi mpya","skills.appsPage.empty.skills":"Hakuna ujuzi umepatikana","skills.appsPage.search.skills":"Tafuta ujuzi","skills.appsPage.search.skills.label":"Tafuta ujuzi","skills.appsPage.section.installedApps":"Imesakinishwa","skills.appsPage.section.skills":"Ujuzi","skills.appsPage.subheading":"Patia Codex nguvu zaidi.<link>Pata maelezo zaidi</link>","skills.appsPage.tab.recommended":"Linapendekezwa","skills.appsPage.tab.skills":"Ujuzi","skills.card.contentsError":"Haikuweza kupakia maudhui ya ujuzi.","skills.card.disable":"Zima","skills.card.disableSuccess":"Ujuzi {skillName} umelemazwa","skills.card.disabledBadge":"Imelemazwa","skills.card.enable":"Wezesha","skills.card.enableSuccess":"Ujuzi {skillName} umewezeshwa","skills.card.loadingContents":"Inapakia maudhui ya ujuzi...","skills.card.more":"Hatua zaidi","skills.card.open":"Fungua","skills.card.removeFailed":"Imeshindwa kusakinusha ujuzi","skills.card.removeSuccess":"Ujuzi {skillName} umeondolewa","skills.card.toggleEnabledError":"Imeshindwa kusasisha ujuzi","skills.card.try":"Jaribu","skills.card.trySkill":"Jaribu ujuzi","skills.card.uninstall":"Sakinusha","skills.hero.dotLabel":"Nenda kwenye {index} ya mtelezo","skills.hero.next":"Ujuzi unaofuata kuangaziwa","skills.hero.trySkill":"Jaribu ujuzi","skills.page.createSkill":"Ujuzi mpya","skills.page.empty":"Hakuna ujuzi umepatikana","skills.page.filteredEmpty":"Hakuna ujuzi unalingana na vichujio vyako","skills.page.filteredEmptyDescription":"Jaribu kurekebisha utafutaji wako au vichujio vya upeo","skills.page.heading":"Ujuzi","skills.page.loading":"Ujuzi wa kupakia...","skills.page.refreshSkills":"Sasisha","skills.page.refreshSkillsToUseNew":"Sasisha ili kutumia ujuzi mpya","skills.page.search":"Tafuta ujuzi","skills.page.search.label":"Tafuta ujuzi","skills.page.subheading":"Patia Codex nguvu zaidi.<link>Pata maelezo zaidi</link>","skills.preview.copyPrompt":"Nakili dokezo","skills.preview.examplePrompt":"Dokezo la mfano","skills.recommended.error":"Haikuweza kupakia ujuzi unaopendekezwa","skills.recommended.install":"Sakinisha","skills.recommended.installSkill":"Sakinisha ujuzi","skills.recommended.installSuccess":"Ujuzi {skillName} umesakinishwa","skills.recommended.installed":"Imesakinishwa","skills.scope.admin":"Msimamizi","skills.scope.adminInstalled":"Imesakinishwa na msimamizi","skills.scope.builtIn":"Mfumo","skills.scope.personal":"Binafsi","skills.scope.repo":"Hazina","skills.scope.system":"Mfumo","skills.scope.team":"Timu","skills.scope.user":"Mtumiaji","skills.section.installed":"Imesakinishwa","skills.section.recommended":"Linapendekezwa","story.slidingToggle.existing":"Iliyopo","story.slidingToggle.fromLocal":"Kutoka ndani","story.slidingToggle.new":"Mpya","story.slidingToggle.toLocal":"Hadi ndani","terminal.close":"Funga temino","terminal.title":"Temino","thinkingShimmer.default":"Kuwaza","threadEnvIcon.cloudTooltip":"Mazungumzo haya yanaendeshwa kwenye Codex Cloud.","threadEnvIcon.localTooltip":"Mazungumzo haya yanaendeshwa kindani.","threadEnvIcon.worktreeTooltip":"Mazungumzo haya yanaendeshwa kwenye mti wa kazi wa git ya ndani.","threadHeader.archiveConfirmCancel":"Ghairi","threadHeader.archiveConfirmConfirm":"Hifadhi kwenye kumbukumbu","threadHeader.archiveConfirmSubtitle":"Unaweza kuipata baadaye kwenye mazungumzo yako yaliyohifadhiwa kwenye kumbukumbu.","threadHeader.archiveConfirmTitle":"Je, utahifadhi mazungumzo kwenye kumbukumbu?","threadHeader.copyAppLink":"Nakili deeplink","threadHeader.copySessionId":"Nakili kitambulisho cha kikao","threadHeader.copyWorkingDirectory":"Nakili orodha ya kufanya kazi","threadHeader.forkIntoLocal":"Gawanya katika ndani","threadHeader.forkIntoWorktree":"Gawanya katika mti mpya wa kazi","threadHeader.forkPendingWorktreePrompt":"Gawanya mazungumzo haya katika mti mpya wa kazi.","threadHeader.forkPendingWorktreeTitle":"Mazungumzo yaliyogawanywa","threadHeader.forkThreadError":"Imeshindwa kugawanya tukio","threadHeader.forkThreadRequiresGitRepo":"Kugawanya katika mtu mpya wa kazi kunahitaji hazina ya git","threadHeader.moreActions":"Hatua za tukio","threadPage.newThread":"Tukio lipya","threadPage.runAction.changeEnvironment":"Badilisha mazingira","threadPage.runAction.dropdown.titleWithEnvironment":"Hatua {environmentName}","threadPage.runAction.environmentSelector.label":"Chagua mazingira","threadPage.runAction.label":"Run","threadPage.runAction.missing.label":"Sanidi kitendo cha kuendesha","threadPage.runAction.setup.commandLabel":"Amrisha ili kuendesha","threadPage.runAction.setup.description":"Ambia Codex jinsi ya kusakinisha vitegemezi na uanzishe programu yako.","threadPage.runAction.setup.editMore":"Mipangilio ya mazingira","threadPage.runAction.setup.placeholder":"km: npm install npm run","threadPage.runAction.setup.submit":"Hifadhi na uendeshe","threadPage.runAction.setup.title":"Run","threadPage.runAction.tooltip.withEnvironment":"Hatua {environmentName}","threadPage.toggleDiffPanel":"Geuza paneli ya tofauti","threadPage.toggleTerminal":"Geuza temino","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Fungua folda","toolSummaryForCmd.exploredFiles":"<verb>Faili zilizoorodheshwa</verb>","toolSummaryForCmd.exploredFilesInPath":"<verb>Faili zilizoorodheshwa</verb> kwenye {path}","toolSummaryForCmd.exploringFiles":"<verb>Kuorodhesha faili</verb>","toolSummaryForCmd.exploringFilesInPath":"<verb>Kuorodhesha faili</verb> kwenye {path}","toolSummaryForCmd.ranGenericCommand":"<status>Endesha amri</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Inaendesha</status> {command}{timer}","toolSummaryForCmd.read":" <verb>Soma</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Kuendesha amri</status>{timer}","toolSummaryForCmd.runningTimer":"kwa {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Ulitafuta</verb> kwa {query}","toolSummaryForCmd.searchedForFiles":"<verb>Imetafuta</verb> kwa faili","toolSummaryForCmd.searchedForInPath":" <verb>Imetafuta</verb> kwa {query} katika {path}","toolSummaryForCmd.searchingFor":"<verb>Inatafuta</verb> kwa {query}","toolSummaryForCmd.searchingForFiles":"<verb>Kutafuta</verb> kwa faili","toolSummaryForCmd.searchingForInPath":"<verb>Inatafuta</verb> kwa {query} katika {path}","traceRecording.details.noteLabel":"Je, ulikuwa unafanya nini wakati hili lilifanyika? (hiari)","traceRecording.details.notePlaceholder":"Nilirambaza kwenye mazungumzo makubwa, kisha nikabadilisha vichupo mara kwa mara…","traceRecording.details.submit":"Tuma ufuatiliaji","traceRecording.details.subtitle":"Tunaweza kutuma ufuatilizi wa wasifu huu ili kusaidia kutambua matatizo ya utendaji.","traceRecording.details.title":"Je, utatuma ufuatiliaji wa wasifu?","traceRecording.progress.subtitle":"Weka Codex ikiwa wazi wakati hii inakamilisha.","traceRecording.saving.title":"Inahifadhi ufuatilizi…","traceRecording.startDetails.cancel":"Ghairi","traceRecording.startDetails.submit":"Sawa, Anza Kurekodi","traceRecording.startDetails.subtitle":"Baada ya kubonyeza Sawa, zalisha upya tatizo la utendaji, kisha bonyeza kiashiria chekundu kinachoelea ili kusitisha na kuhakiki ufuatiliaji.","traceRecording.startDetails.title":"Jinsi Rekodi ya Ufuatiliaji Hufanya Kazi","traceRecording.stopButton.ariaLabel":"Sitisha rekodi ya ufuatiliaji","traceRecording.upload.successToast":"Ufuatiliaji wa wasifu umetumwa.","traceRecording.uploading.title":"Inapakia ufuatiliaji…","wham.diff.addComment":"Ongeza maoni","wham.diff.binaryFile":"Faili ya pili haijaonyeshwa","wham.diff.noContent":"Hakuna maudhui","wham.fileTag.deleted":"Imefutwa","wham.fileTag.new":"Mpya","wham.formattedRelativeDateTime.compactDaysAgo":"siku {value}","wham.formattedRelativeDateTime.compactHoursAgo":"saa {value}","wham.formattedRelativeDateTime.compactMinutesAgo":"dak {value}","wham.formattedRelativeDateTime.compactMonthsAgo":"mwezi {value}","wham.formattedRelativeDateTime.compactWeeksAgo":"wiki {value}","wham.formattedRelativeDateTime.compactYearsAgo":"mwaka {value}","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Kufanya kazi kwenye shughuli yako","wham.whamProposedTask.title":"Shughuli iliyopendekezwa","wham.whamProposedTask.useSuggestion":"Tumia mapendekezo","workspaceRootDialog.addError":"Imeshindwa kuongeza mradi","workspaceRootDialog.cancel":"Ghairi","workspaceRootDialog.confirmAdd":"Ongeza mradi","workspaceRootDialog.confirmPick":"Tumia mradi","workspaceRootDialog.description":"Weka njia kwenye {host} ili kutumia mradi","workspaceRootDialog.pathLabel":"Njia ya mradi","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Ongeza njia ya mradi","workspaceRootDialog.title.pick":"Chagua njia ya mradi","worktreeInitV2.cancel":"Ghairi","worktreeInitV2.notification.failedTitle":"Usanidi wa mti wa kazi umeshindikana","worktreeInitV2.output.empty":"Kusubiri kwa vitolewa...","worktreeInitV2.status.error":"Usanidi wa mti wa kazi umeshindikana.","worktreeInitV2.status.running":"Unda mti wa kazi na usanidi wa kuendesha.","worktreeInitV2.status.runningFork":"Kuunda mti wa kazi ili kugawanya mazungumzo haya.","worktreeInitV2.status.success":"Mti wa kazi uko tayari.","worktreeInitV2.title":"Kuunda mti wa kazi","worktreeInitV2.workLocallyInstead":"Fanya kazi ndani badala yake","worktreeRestoreBanner.body":"Mti wa kazi wa tukio hili uliondolewa ili kuokoa nafasi ya diski.","worktreeRestoreBanner.missing.body":"Folda ya kufanya kazi ya tukio hili haipo tena","worktreeRestoreBanner.missing.title":"Folda ya kufanya kazi ya sasa inakosekana","worktreeRestoreBanner.restore.error":"Imeshindwa kurejesha mti wa kazi: {message}","worktreeRestoreBanner.restore.success":"Mti wa kazi umerejeshwa","worktreeRestoreBanner.restoreCta":"Rejesha mti wa kazi","worktreeRestoreBanner.title":"Mti wa kazi umesafishwa"};export{a as default};
+const a={"CopyButton.copyTooltip":"Nakili","app.sidebar.hide":"Ficha upau wa upande","app.sidebar.show":"Onyesha upau wa upande","app.sidebar.tooltip":"Geuza upau wa upande","appHeader.installUpdate":"Sasisha","appSunset.body":"Toleo hili la programu haliruhusiwi tena. Tafadhali pakua toleo la hivi karibuni <here>hapa</here>.","appSunset.title":"Sasisho linahitajika","automation.updateDirective.create":"Unda","automation.updateDirective.open":"Fungua","automation.updateDirective.untitled":"Ufanyaji otomatiki usio na kichwa","automation.updateDirective.update":"Sasisha","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {Jaribio #} other {Majaribio #}}","cloudTaskRow.archiveError":"Imeshindwa kuhifadhi shughuli kwenye kumbukumbu","code.diff.requestChange":"Omba badiliko","code.diffComment.cancel":"Ghairi","code.diffComment.comment":"Maoni","code.diffComment.delete":"Futa","code.diffComment.save":"Hifadhi","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Hakuna matokeo yaliripotiwa.","codex.alert.closeAriaLabel":"Funga","codex.appUpsellBanner.cbpApi.message":"Tengeneza kwa haraka zaidi kwa programu ya Codex. Pakua sasa au {learnMoreLink}.","codex.appUpsellBanner.download":"Pakua","codex.appUpsellBanner.freeGo.message":"Codex imejumuishwa kwenye mpango wako hadi tarehe 2 Machi. Jaribu programu ya Codex ili kutengeneza haraka zaidi.","codex.appUpsellBanner.later":"Baadaye","codex.appUpsellBanner.learnMoreLowercase":"pata maelezo zaidi","codex.appUpsellBanner.new":"Mpya","codex.appUpsellBanner.proPlusBusiness.message":"Jaribu programu ya Codex kwa vikomo vya kiwango cha 2x hadi tarehe 2 Aprili. Pakua sasa au {learnMoreLink}.","codex.appUpsellBanner.title":"Programu ya Codex","codex.applyDropdown.header.changes":"Mabadiliko","codex.applyDropdown.header.fileCount":"{count, plural, one {Faili #} other {Faili #}}","codex.applyDropdown.header.rows":"safumlalo","codex.applyDropdown.header.title":"Tumia mabadiliko","codex.applyDropdown.header.workspace":"Mradi","codex.applyDropdown.results.conflicted":"{count, plural, one {Faili 1 inakinzana:} other {Zinakinzana faili {count}}}","codex.applyDropdown.results.empty":"Hakuna faili zimenakiliwa","codex.applyDropdown.results.skipped":"{count, plural, one {Imerukwa faili 1} other {Zimerukwa faili {count}:}}","codex.applyOrRevertBanner.apply":"Tumia","codex.applyOrRevertBanner.applyMessage":"Je, utatumia mabadiliko na uendelee kindani?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Shughuli hii ilitengenezwa katika {environment} kwa hivyo huenda isitumike vizuri.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Mabadiliko yaliyofanywa katika {environment} kwa hivyo huenda yasitumike vizuri.","codex.applyOrRevertBanner.reapply":"Tumia upya","codex.applyOrRevertBanner.revert":"Rejesha","codex.applyOrRevertBanner.revertMessage":"Je, utageuza mabadiliko yaliyotumiwa?","codex.applyResultsDialog.applied":"Imetumiwa vizuri ({count})","codex.applyResultsDialog.close":"Funga","codex.applyResultsDialog.conflicted":"Inakinzana ({count})","codex.applyResultsDialog.noDetails":"Hakuna maelezo ya faili yanapatikana.","codex.applyResultsDialog.skipped":"Imeruka ({count})","codex.applyResultsDialog.title":"Tumia matokeo","codex.archiveInfo":"Tazama chati zilizohifadhiwa kwenye kumbukumbu kwenye {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Vidhibiti vya Data","codex.archiveInfo.electron":"Tazama chati zilizohifadhiwa kwenye kumbukumbu kwenye {settingsLink}","codex.archiveInfo.extension":"Tazama chati zilizohifadhiwa kwenye kumbukumbu kwenye folda yako ya .codex.","codex.archiveInfo.settingsLink":"Mipangilio","codex.banner.content.description":"Endesha shughuli sambamba, fuatilia mwendeleo popote na uhakiki PR kwa AI.","codex.banner.content.headline":"Codex inafanya yote.","codex.cloudTaskRow.archiveTask":"Hifadhi shughuli kwenye kumbukumbu","codex.cloudTaskRow.confirmArchiveTask":"Thibitisha","codex.command.feedback":"Maoni","codex.command.findInThread":"Tafuta","codex.command.forceReloadSkills":"Lazimisha ujuzi wa kupakia upya","codex.command.logOut":"Ondoka","codex.command.manageTasks":"Dhibiti shughuli","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Nyuma","codex.command.navigateForward":"Mbele","codex.command.newThread":"Tukio lipya","codex.command.nextThread":"Matukio yanayofuata","codex.command.openFolder":"Fungua folda","codex.command.openSkills":"Nenda kwenye ujuzi","codex.command.openThreadOverlay":"Tukio la kuibuka","codex.command.personalitySettings":"Haiba","codex.command.previousThread":"Tukio la awali","codex.command.settings":"Mipangilio","codex.command.toggleDiffPanel":"Geuza paneli ya tofauti","codex.command.toggleSidebar":"Geuza upau wa upande","codex.command.toggleTerminal":"Geuza temino","codex.commandGroup.app":"Programu","codex.commandGroup.configure":"Sanidi","codex.commandGroup.navigation":"Urambazaji","codex.commandGroup.panels":"Paneli","codex.commandGroup.skills":"Ujuzi","codex.commandGroup.thread":"Tukio","codex.commandGroup.workspace":"Mradi","codex.commandMenu.noResults":"Hakuna inayolingana","codex.commandMenu.searchPlaceholder":"Amri za utafutaji","codex.commandMenu.suggestedGroup":"Yanayopendekezwa","codex.commandMenu.switchWorkspace":"Badilisha mradi","codex.commandMenu.title":"Menyu ya umri","codex.common.retry":"Jaribu tena","codex.composer.searchBranches":"Tafuta matawi","codex.dialog.basic.body":"Haya ni mazungumzo ya muundo rahisi kwa kutumia wrapper yetu kwenye Mazungumzo ya Radix.","codex.dialog.basic.cancel":"Ghairi","codex.dialog.basic.confirm":"Thibitisha","codex.dialog.basic.open":"Fungua Mazungumzo","codex.dialog.basic.title":"Mazungumzo ya Jaribio","codex.dialog.long.close":"Funga","codex.dialog.long.line":"Mstari unaoweza kubiringizika {index} ili kuonyesha maudhui marefu ndani ya mazungumzo.","codex.dialog.long.open":"Fungua Mazungumzo Marefu","codex.dialog.long.title":"Mazungumzo ya Maudhui Marefu","codex.dialog.unstyled.body":"Hadithi hii inaonyesha jinsi wapigaji simu wanaweza kudhibiti kikamilifu mwonekano wa maudhui ya kidirisha cha mazungumzo.","codex.dialog.unstyled.open":"Fungua Kidirisha cha Mazungumzo Kisichorembeshwa","codex.dialog.unstyled.title":"Maudhui Yasiyorembeshwa","codex.diff.openInEditorPrompt.openButton":"Fungua kwenye kihariri","codex.diff.openInEditorPrompt.singleLine":"Faili hii ni kubwa zaidi kuonyeshwa hapa.","codex.diffView.failedToDecodeBase64Diff":"Imeshindwa kusimbua base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {Faili # imebadilishwa} other {Faili # zimebadilishwa}}","codex.diffView.imagePreviewAlt":"Onyesho la mapema la picha","codex.diffView.imagePreviewEmpty":"Hakuna picha","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Hakuna data tofauti","codex.diffView.pdfPreview.nextPage":"Ukurasa unaofuata","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Ukurasa wa awali","codex.diffView.pdfPreviewEmpty":"Hakuna onyesho la awali la PDF","codex.diffView.pdfPreviewError":"Haikuweza kuleta onyesho la awali la PDF","codex.diffView.richPreviewDisable":"Lemaza onyesho la awali bora zaidi","codex.diffView.richPreviewEnable":"Wezesha onyesho la awali bora zaidi","codex.diffView.richPreviewLoading":"Inapakia onyesho la awali…","codex.diffView.richPreviewToggle":"Geuza onyesho la awali bora zaidi","codex.diffView.switchToUnified":"Badilisha iwe tofauti iliyounganishwa","codex.environmentSelector.noEnvironment":"Hakuna mazingira","codex.environments.environmentSettings":"Mipangilio ya mazingira","codex.environments.learnMore":"Pata maelezo zaidi","codex.environments.listError":"Imeshindwa kupakia mazingira.","codex.environments.noEnvironmentsFound":"Hakuna mazingira yamepatikana","codex.environments.searchError":"Imeshindwa kutafuta mazingira.","codex.errorBoundary.genericError":"Samahani, hitilafu imetokea","codex.errorBoundary.goHome":"Jaribu tena","codex.file.patch.missing":"Haikuweza kujenga kiraka cha faili hii.","codex.gallery.automations.cwdLabel":"Miradi","codex.gallery.automations.nameLabel":"Jina","codex.gallery.automations.namePlaceholder":"Fupisha shughuli","codex.gallery.automations.promptLabel":"Dokezo","codex.gallery.automations.promptPlaceholder":"Fafanua kile Codex inapaswa kufanya","codex.gallery.dialogs.automation.label":"Mazungumzo ya ufanyaji otomatiki","codex.gallery.dialogs.basic.body":"Tumia mpangilio huu kwa uthibitisho rahisi au fomu fupi.","codex.gallery.dialogs.basic.cancel":"Ghairi","codex.gallery.dialogs.basic.confirm":"Thibitisha","codex.gallery.dialogs.basic.label":"Mazungumzo msingi","codex.gallery.dialogs.basic.title":"Mazungumzo ya sampuli","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Fafanua tatizo","codex.gallery.dialogs.feedbackSubmission.bad":"Matokeo mbaya","codex.gallery.dialogs.feedbackSubmission.bug":"Kasoro","codex.gallery.dialogs.feedbackSubmission.good":"Matokeo mazuri","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Jumuisha ripoti za kikao cha Codex cha sasa","codex.gallery.dialogs.feedbackSubmission.label":"Uwasilishaji wa maoni","codex.gallery.dialogs.feedbackSubmission.other":"Nyingine","codex.gallery.dialogs.feedbackSubmission.placeholder":"Fafanua tatizo hapa","codex.gallery.dialogs.feedbackSubmission.submit":"Wasilisha","codex.gallery.dialogs.feedbackSubmission.title":"Maoni","codex.gallery.dialogs.feedbackSuccess.body":"Maoni yamepakiwa. Tatizo likiendelea, tafadhali fungua suala la GitHub au taja kitambulisho cha tukio katika suala wazi lililopo:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Funga","codex.gallery.dialogs.feedbackSuccess.label":"Ufanisi wa maoni","codex.gallery.dialogs.feedbackSuccess.title":"Maoni yamepakiwa","codex.gallery.dialogs.gitApplyResults.applied":"Imetumiwa bila tatizo (2)","codex.gallery.dialogs.gitApplyResults.close":"Funga","codex.gallery.dialogs.gitApplyResults.conflicted":"Inakinzana (1)","codex.gallery.dialogs.gitApplyResults.label":"Tumia matokeo","codex.gallery.dialogs.gitApplyResults.title":"Tumia matokeo","codex.gallery.dialogs.gitPushError.body":"Leta mabadiliko ya hivi karibuni au lazimisha msukumo ikiwa unafahamu historia ya mbali ni salama ili kuiondoa.","codex.gallery.dialogs.gitPushError.cancel":"Ghairi","codex.gallery.dialogs.gitPushError.force":"Lazimisha kusukuma","codex.gallery.dialogs.gitPushError.label":"Hitilafu ya push","codex.gallery.dialogs.gitPushError.subtitle":"Tawi lako lipo nyuma ya tawi asili/kuu.","codex.gallery.dialogs.gitPushError.title":"Imeshindwa kusukuma mabadiliko","codex.gallery.dialogs.gitRevert.cancel":"Ghairi","codex.gallery.dialogs.gitRevert.confirm":"Rejesha","codex.gallery.dialogs.gitRevert.label":"Geuza mabadiliko","codex.gallery.dialogs.gitRevert.skip":"Usiulize tena","codex.gallery.dialogs.gitRevert.subtitle":"Hatua hii huondoa mabadiliko haya yote.","codex.gallery.dialogs.gitRevert.title":"Utageuza mabadiliko?","codex.gallery.dialogs.longForm.label":"Mazungumzo marefu","codex.gallery.dialogs.proseModal.body":"Mtindo huu wa modali hutumiwa kwa maelekezo marefu, uanzishaji, au vitalu vya maudhui mengi.","codex.gallery.dialogs.proseModal.close":"Funga","codex.gallery.dialogs.proseModal.subtitle":"Shiriki mwongozo wa kina au nyaraka hapa.","codex.gallery.dialogs.proseModal.title":"Muundo wa prose","codex.gallery.dialogs.submitBlocked.label":"Kutuma kumezuiwa","codex.gallery.dialogs.submitBlocked.message":"Ujumbe wako haukuweza kutumwa kwa sababu mradi haupatikani.","codex.gallery.dialogs.submitBlocked.ok":"SAWA","codex.gallery.dialogs.submitBlocked.title":"Haikuweza kutuma ujumbe","codex.gallery.dialogs.title":"Mazungumzo","codex.gallery.dropdown.filterPlaceholder":"Chuja vipengee","codex.gallery.dropdowns.actionRow":"Safu ya vitendo","codex.gallery.dropdowns.actionRow.disabled":"Hatua iliyolemazwa","codex.gallery.dropdowns.actionRow.primary":"Kitendo cha msingi","codex.gallery.dropdowns.actionRow.secondary":"Hatua ya pili","codex.gallery.dropdowns.actionRow.trigger":"Onyesha matendo","codex.gallery.dropdowns.basic":"Orodha kunjuzi ya msingi","codex.gallery.dropdowns.basic.newFile":"Faili mpya","codex.gallery.dropdowns.basic.newFolder":"Folda mpya","codex.gallery.dropdowns.basic.openSettings":"Fungua mipangilio","codex.gallery.dropdowns.basic.title":"Hatua za haraka","codex.gallery.dropdowns.basic.trigger":"Fungua menyu","codex.gallery.dropdowns.basic.upload":"Pakia","codex.gallery.dropdowns.panel":"Sehemu ya juu ya paneli","codex.gallery.dropdowns.panel.apply":"Tumia","codex.gallery.dropdowns.panel.body":"Hakiki diff na uzitumie kwenye mradi wako.","codex.gallery.dropdowns.panel.preview":"Onyesha awali","codex.gallery.dropdowns.panel.title":"Tumia mabadiliko","codex.gallery.dropdowns.panel.trigger":"Fungua paneli","codex.gallery.dropdowns.search":"Orodha kunjuzi inayoweza kutafutwa","codex.gallery.dropdowns.search.first":"Alpha channel","codex.gallery.dropdowns.search.second":"Tawi la beta","codex.gallery.dropdowns.search.third":"Achilia kijaribiwa","codex.gallery.dropdowns.search.trigger":"Chuja vipengee","codex.gallery.dropdowns.submenu":"Vuta chini kwa menyu ndogo","codex.gallery.dropdowns.submenu.optionA":"Mradi wa alpha","codex.gallery.dropdowns.submenu.optionB":"Mradi wa beta","codex.gallery.dropdowns.submenu.optionC":"Mradi wa gamma","codex.gallery.dropdowns.submenu.primary":"Toa mmiliki","codex.gallery.dropdowns.submenu.secondary":"Hamisha kwenye","codex.gallery.dropdowns.submenu.tertiary":"Hifadhi kwenye kumbukumbu","codex.gallery.dropdowns.submenu.trigger":"Chagua hatua","codex.gallery.dropdowns.title":"Orodha kunjuzi","codex.gallery.inbox.automations.close":"Funga","codex.gallery.inbox.automations.popover.cardTitle":"Dhibiti ufanyaji otomatiki","codex.gallery.inbox.automations.popover.dialogTitle":"Dhibiti ufanyaji otomatiki","codex.header.settingsTooltip":"Mipangilio","codex.hunk.patch.error":"Imeshindwa kupanga","codex.hunk.patch.missing":"Haikuweza kujenga kiraka cha hunk hii.","codex.hunk.patch.partialSuccess":"Ufanisi wa kisehemu","codex.hunk.patch.revertError":"Imeshindwa kuondoa mpango","codex.hunk.patch.revertSuccess":"Imefaulu kuondolewa kwenye mpango","codex.hunk.patch.success":"Imefaulu kuwekwa kwenye mpango","codex.legal.autonomy.details":"Ili kupata maelezo zaidi, ona {link}","codex.legal.autonomy.details.link":"Hati za Codex","codex.legal.autonomy.title":"Fafanua ni autonomi kiwango gani unataka kutoa","codex.legal.backButton":"Nyuma","codex.legal.cloud.taskOne.meta":"openai/agi · Okt 12","codex.legal.cloud.taskOne.title":"Elezea hazina kwa mbunifu mgeni","codex.legal.cloud.taskThree.meta":"openai/codex · Okt 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Unda mandhari ya hali ya giza","codex.legal.cloud.taskTwo.meta":"openai/agi · Okt 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Rekebisha kasoro ya kujumlisha","codex.legal.continue.apikey":"Endelea","codex.legal.continueButton":"Inayofuata","codex.legal.copilot.details":"Hutumia mpango wako wa Copilot kwa uitaji wa muundo wote, kulipisha na vikomo vya kiwango. Matumizi ya mkondo wa Codex yanategemea {oaiTos} na {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Sheria za Huduma za GitHub","codex.legal.copilot.oaiTosLink":"Sheria za huduma za Codex ya OpenAI","codex.legal.copilot.title":"Inaendeshwa na GitHub Copilot","codex.legal.mistakes.review":"Hakiki msimbo inaandika na amri inazoendesha","codex.legal.mistakes.title":"Codex inaweza kufanya makosa","codex.legal.powered.details":"Hutumia vikomo vya kiwango cha mpango wako na {link}","codex.legal.powered.details.link":"mapendeleo ya data ya mafunzo","codex.legal.powered.title":"Inaendeshwa na akaunti yako ya ChatGPT","codex.legal.step.cloud.subtitle":"Tuma shughuli kwa Codex ili kuendesha kwenye usuli ili uweze kuendelea kuangazia na kusonga haraka zaidi.","codex.legal.step.cloud.title":"Patiana kwa Codex kwenye wingu","codex.legal.step.intro.subtitle":"Codex inarambaza, kuhariri, kuendesha amri na kutekeleza majaribio moja kwa moja kwenye hazina yako. Inaendeshwa na akaunti yako ya ChatGPT.","codex.legal.step.intro.title":"Codex kwenye IDE yako","codex.legal.step.todo.subtitle":"Andika maoni ya TODO na kuigeuza katika shughuli ya Codex kwa mbofyo moja.","codex.legal.step.todo.title":"Geuza TODO katika shughuli za Codex","codex.legal.todo.heading":"// TODO: tekeleza kielezo","codex.localConversation.closeImagePreview":"Funga dokezo la picha","codex.localConversation.userImageAttachment":"Kiambatisho cha mtumiaji","codex.localTaskRow.archiveTask":"Hifadhi kwenye kumbukumbu","codex.localTaskRow.awaitingApproval":"Inasubiri idhini","codex.localTaskRow.awaitingResponse":"Inasubiri jibu","codex.localTaskRow.confirmArchiveTask":"Thibitisha","codex.loggedOut.apiKeyPrompt.cancel":"Ghairi","codex.loggedOut.apiKeyPrompt.confirm":"Sawa","codex.loggedOut.apiKeyPrompt.getKey":"Pata Ufunguo wa API","codex.loggedOut.apiKeyPrompt.inputLabel":"Ingiza Kitufe cha API cha OpenAI yako","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Shughuli za wingu zimelemazwa kwa Kitufe cha API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Shughuli za wingu zimelemazwa kwa Copilot na Kitufe cha API","codex.loggedOut.signIn":"Ingia kwa ChatGPT","codex.loggedOut.signIn.cancel":"Ghairi Uingiaji","codex.loggedOut.signInWithCopilot":"Ingia kwa kutumia GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Tumia Kitufe cha API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} zana ya {tool} MCP","codex.mcpTool.collapsedLabel.verb.called":"Imeitwa","codex.mcpTool.collapsedLabel.verb.calling":"Inaita","codex.mcpTool.embeddedResource.contentLabel":"Maudhui","codex.mcpTool.embeddedResource.mimeTypeLabel":"Aina ya MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Zana haijarejesha maudhui","codex.mcpTool.rawPayloadHeading":"{server} mbichi. Payload ya uitaji wa zana {tool}","codex.menu.recent":"Hivi karibuni","codex.menu.seeAllHistory":"Ona historia yote","codex.modelCapacityBanner.headline.noReset":"{modelName} iko mwisho sasa hivi. Jaribu tena baadaye au anza mazungumzo mpya kwa muundo mwingine.","codex.modelCapacityBanner.headline.withReset":"{modelName} iko mwisho sasa hivi. Jaribu tena baada ya {resetDate} au anza mazungumzo na muundo mwingine.","codex.modelCapacityBanner.title":"Muundo uliochaguliwa uko mwisho","codex.patch.change.contentsDeleted":"Maudhui yamefutwa","codex.patch.change.created":"Imeundwa","codex.patch.change.created-file":"Faili iliyoundwa","codex.patch.change.creating":"Kuunda","codex.patch.change.deleted":"Imefutwa","codex.patch.change.deleted-file":"Faili iliyofutwa","codex.patch.change.deleting":"Kufuta","codex.patch.change.edited":"Imehaririwa","codex.patch.change.edited-file":"Faili iliyohaririwa","codex.patch.change.editing":"Kuhariri","codex.patch.change.noChanges":"Hakuna mabadiliko","codex.patch.change.rejected-add":"Imekataliwa","codex.patch.change.rejected-delete":"Imekataliwa","codex.patch.change.rejected-edit":"Imekataliwa","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Shughuli {completed} kati ya {total} zimekamilishwa","codex.plan.todoListCreated":"Orodha ya kufanya imeundwa kwa shughuli {total}","codex.profileDropdown.apiKeyAuth":"Imeingia kwa Kitufe cha API","codex.profileDropdown.codexSettings":"Mipangilio ya Codex","codex.profileDropdown.copilotAuth":"Imeingiwa kwa Copilot","codex.profileDropdown.defaultAccountTitle":"Akaunti chaguomsingi","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter ili kutuma vidokezo virefu","codex.profileDropdown.enterBehaviorError":"Imeshindwa kusasisha mpangilio","codex.profileDropdown.getPlus":"Boresha ili kupata vikomo vya juu zaidi","codex.profileDropdown.keyboardShortcuts":"Njia za mkato za kibodi","codex.profileDropdown.language":"Lugha","codex.profileDropdown.languageDefault":"Gundua Kiotomatiki","codex.profileDropdown.languageSearchPlaceholder":"Tafuta lugha","codex.profileDropdown.languageUpdateError":"Imeshindwa kusasisha lugha","codex.profileDropdown.logOut":"Ondoka","codex.profileDropdown.mcp":"Mipangilio ya MCP","codex.profileDropdown.openConfigToml":"Open config.toml","codex.profileDropdown.openConfigToml.wsl":"Fungua config.toml kwenye mazingira ya WSL","codex.profileDropdown.openExtensionSettings":"Fungua mipangilio","codex.profileDropdown.openMcpSettings":"Fungua mipangilio ya MCP","codex.profileDropdown.openOnStartup":"Fungua kwenye uanzishaji","codex.profileDropdown.openOnStartupError":"Imeshindwa kusasisha mpangilio","codex.profileDropdown.openSkillsSettings":"Fungua mipangilio ya Ujuzi","codex.profileDropdown.personalAccountTitle":"Akaunti ya kibinafsi","codex.profileDropdown.queueFollowUps":"Panga ufuatilizi","codex.profileDropdown.queueFollowUpsError":"Imeshindwa kusasisha mpangilio","codex.profileDropdown.readDocs":"Soma hati","codex.profileDropdown.readSkillsDocs":"Soma hati","codex.profileDropdown.runInWsl":"Endesha kwenye WSL","codex.profileDropdown.runInWslError":"Imeshindwa kusasisha mpangilio","codex.profileDropdown.runInWslTooltip":"Inaendesha Codex ndani ya WSL. Inapendekezwa kwa usalama wa sandbox ulioboreshwa na utendaji bora zaidi.","codex.profileDropdown.settings":"Mipangilio ya IDE","codex.profileDropdown.settingsPage":"Mipangilio","codex.profileDropdown.signInWithOpenAI":"Ingia kwa ChatGPT","codex.profileDropdown.skills":"Mipangilio ya ujuzi","codex.profileDropdown.switchToCopilotAccount":"Tumia akaunti ya Copilot","codex.profileDropdown.switchToOpenAIAccount":"Tumia akaunti ya OpenAI","codex.profileDropdown.todoCodelens":"Rekebisha maoni ya TODO","codex.profileDropdown.todoCodelensError":"Imeshindwa kusasisha mpangilio","codex.profileDropdown.windowsDocumentation":"Hati ya Windows","codex.profileFooter.signedInFallback":"Mipangilio","codex.profileFooter.upgrade":"Boresha","codex.recentTasksMenu.clearSearch":"Ondoa utafutaji","codex.recentTasksMenu.cloud":"Shughuli za wingu","codex.recentTasksMenu.count":"{count, plural, =0 {Hakuna shughuli zinaendelea} one {Shughuli # inaendelea} other {Shughuli # zinaendelea}}","codex.recentTasksMenu.empty":"Bado hakuna matukio","codex.recentTasksMenu.errorCloud":"Imeshindwa kupakia shughuli","codex.recentTasksMenu.errorCloud.inline":"Imeshindwa kupakia shughuli za wingu.","codex.recentTasksMenu.filterAll":"Zote","codex.recentTasksMenu.filterCloudTasks":"Chuja shughuli za wingu","codex.recentTasksMenu.filterTooltip":"Chuja shughuli kwa mazingira","codex.recentTasksMenu.local":"Shughuli za eneo","codex.recentTasksMenu.recent":"Shughuli zote","codex.recentTasksMenu.search":"Tafuta shughuli za hivi karibuni","codex.recentTasksMenu.searchEmpty":"Hakuna matokeo","codex.recentTasksMenu.tooltip":"Historia ya shughuli","codex.recentTasksMenu.trigger":"Shughuli za hivi karibuni. {count, plural, one {# inaendelea} other {# zinaendelea}}","codex.remoteConversation.applyDiff.applyCta":"Tumia mabadiliko","codex.remoteConversation.applyDiff.dropdownTitle":"Tumia mabadiliko kwenye tawi la ndani","codex.remoteConversation.applyDiff.revertCta":"Geuza mabadiliko","codex.remoteConversation.closeImagePreview":"Funga dokezo la picha","codex.remoteConversation.codexCloudTask":"Unatazama shughuli ya <u>wingu la Codex</u>","codex.remoteConversation.errorWithMessage":"Hitilafu: {message}","codex.remoteConversation.loadingImage":"Inapakia picha","codex.remoteConversation.openInWeb":"Fungua kwenye wavuti","codex.remoteConversation.streaming":"Kuanza","codex.remoteConversation.turnFailed":"Hitilafu imetokea wakati wa shughuli hii","codex.remoteConversation.turnTab.loading":"Jaribio la {number}","codex.remoteConversation.turnTab.title":"Jaribio la {number}","codex.remoteConversation.userImageAttachment":"Kiambatisho cha mtumiaji","codex.remoteConversation.viewPreviousTurns":"Fungua kwenye wavuti","codex.remoteConversation.viewPreviousTurns.buttonText":"Fungua","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Fungua kwenye wavuti","codex.review.copyGitApplyCommand":"Nakili amri ya kutumia git","codex.review.copyGitApplyCommand.toast":"Imenakili amri ya kutumia git kwenye ubao wa kunakili","codex.review.diffTooLarge.description":"Tofauti ni kubwa mno kuonyesha kwenye Uhakiki.","codex.review.diffTooLarge.title":"Diff ni kubwa sana haiwezi kuonyeshwa","codex.review.expandOrCollapseDiffButton.collapse":"Kunja tofauti zote","codex.review.expandOrCollapseDiffButton.expand":"Panua tofauti zote","codex.review.expandOrCollapseDiffMenu.collapse":"Kunja tofauti zote","codex.review.expandOrCollapseDiffMenu.expand":"Panua tofauti zote","codex.review.fileSearch.clear":"Ondoa kichujio cha faili","codex.review.fileSearch.empty":"Hakuna faili zinalingana na kichujio cha sasa.","codex.review.fileSearch.label":"Chuja faili","codex.review.fileSearch.placeholder":"Inachuja faili…","codex.review.filesChanged":"{num, plural, =0 {Hakuna faili zimebadilishwa} one {Faili # imebadilishwa} other {Faili # zimebadilishwa}}","codex.review.find.loadMore":"Pakia vilinganifu zaidi","codex.review.fullReview.hideFileTree":"Ficha mti wa faili","codex.review.fullReview.showFileTree":"Onyesha mti wa faili","codex.review.header.moreOptions":"Hakiki machaguo","codex.review.largeDiff.banner":"Tofauti kubwa imetambuliwa — kuonyesha faili moja kwa wakati.","codex.review.loadFullFiles.disable":"Usipakie faili nzima","codex.review.loadFullFiles.enable":"Pakia faili nzima","codex.review.noDiff":"Mabadiliko ya faili yatatokea hapa","codex.review.noDiff.gitInit.createRepository":"Unda hazina ya git","codex.review.noDiff.gitInit.creating":"Inaunda...","codex.review.noDiff.gitInit.error":"Git init imefeli: {message}","codex.review.noDiff.gitInit.success":"Hazina ya git imeundwa","codex.review.noDiff.gitRepoRequired.description":"Fuatilia na utendue mabadiliko kwenye mradi huu","codex.review.noDiff.gitRepoRequired.title":"Unda hazina ya Git","codex.review.noDiff.orNoLongerAvailable":"au tofauti za hivi karibuni hazipatikani tena","codex.review.noDiff.reverted":"Nafasi ya mwisho imegeuzwa","codex.review.noDiff.revertedOrCommitted":"Aidha nafasi ya mwisho imegeuzwa au imetekelezwa","codex.review.refreshGitQueries":"Sasisha","codex.review.revert.file.error":"Imeshindwa kugeuza {path}","codex.review.revert.file.partialSuccess":"Imegeuzwa kisehemu {path}","codex.review.revert.file.success":"Imegeuza {path}","codex.review.revert.hunk.error":"Imeshindwa kugeuza hunk {hunkNumber} katika {path}","codex.review.revert.hunk.partialSuccess":"Imegeuza kisehemu hunk {hunkNumber} katika {path}","codex.review.revert.hunk.success":"Imegeuza hunk {hunkNumber} katika {path}","codex.review.revert.section.error":"Imeshindwa kugeuza sehemu","codex.review.revert.section.partialSuccess":"Sehemu imegeuzwa kisehemu","codex.review.revert.section.success":"Sehemu imegeuzwa","codex.review.revertDialog.cancel":"Ghairi","codex.review.revertDialog.confirm":"Thibitisha","codex.review.revertDialog.message":"Hatua hii huondoa mabadiliko haya yote.","codex.review.revertDialog.skip":"Usiulize tena","codex.review.revertDialog.title":"Utageuza mabadiliko?","codex.review.richPreview.disable":"Lemaza onyesho la awali bora zaidi","codex.review.richPreview.enable":"Wezesha onyesho la awali bora zaidi","codex.review.source.cloud":"Mabadiliko ya Cloud","codex.review.source.local.all":"Mabadiliko ya tawi lote","codex.review.source.local.lastTurn":"Mabadiliko ya nafasi ya mwisho","codex.review.source.local.uncommitted":"Mabadiliko ambayo hayajatekelezwa","codex.review.source.worktree":"Mabadiliko ya mti wa kazi ambayo hayajatekelezwa","codex.review.stageFilter.empty.staged.description":"Kubali vihariri ili kuzipanga","codex.review.stageFilter.empty.staged.title":"Hakuna mabadiliko yamepangwa","codex.review.stageFilter.empty.unstaged.description":"Mabadiliko ya msimbo yatatokea hapa","codex.review.stageFilter.empty.unstaged.title":"Hakuna mabadiliko ambayo hayajapangwa","codex.review.stageFilter.staged":"Imepangwa","codex.review.stageFilter.staged.count":"Imepangwa · {count}","codex.review.stageFilter.unstaged":"Ambayo haijapangwa","codex.review.stageFilter.unstaged.count":"Ambayo haijapangwa · {count}","codex.review.switchToSplit":"Badilisha iwe tofauti ya mgawanyo","codex.review.switchToUnified":"Badilisha iwe tofauti iliyounganishwa","codex.review.toggleDiffView":"Geuza mtazamo wa tofauti","codex.review.wordDiffs.disable":"Lemaza tofauti za neno","codex.review.wordDiffs.enable":"Wezesha tofauti za neno","codex.review.wrap.disable":"Lemaza word wrap","codex.review.wrap.enable":"Wezesha word wrap","codex.section.patch.missing":"Haikuweza kujenga kiraka cha kifungu hiki.","codex.shell.collapse":"Kunja sheli","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Imenakili maudhui ya sheli","codex.shell.copy.copyTooltip":"Nakili maudhui ya sheli","codex.shell.copyCommand":"Nakili amri","codex.shell.copyOutput":"Nakili kitolewa","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Panua sheli","codex.shell.name":"Sheli","codex.shell.noOutput":"Hakuna kitolewa","codex.signInFailed.message":"Imeshindwa kuingia: {rawMessage}","codex.stories.toast.show":"Onyesha Toast","codex.stories.tooltip.basic":"Hiki ni kidokezo cha zana","codex.stories.tooltip.hoverMe":"Nielekeze","codex.stories.tooltip.largerOffset":"Dokezo la zana hii lina offset kubwa zaidi","codex.stories.tooltip.offsetButton":"Offset kubwa zaidi","codex.stories.tooltip.shortcutButton":"Kwa njia za mkato","codex.stories.tooltip.withShortcut":"Geuza temino","codex.taskRow.title":"Mazungumzo mapya","codex.taskRowLayout.confirm":"Thibitisha","codex.threadFindBar.chatFilter":"Tafuta chati","codex.threadFindBar.close":"Funga utafutaji","codex.threadFindBar.diffFilter":"Tafuta diff","codex.threadFindBar.label":"Tafuta kwenye tukio","codex.threadFindBar.nextResult":"Matokeo yanayofuata","codex.threadFindBar.noResults":"Matokeo 0","codex.threadFindBar.placeholder":"Tafuta tukio…","codex.threadFindBar.placeholder.extension":"Tafuta tukio…","codex.threadFindBar.placeholder.review":"Tafuta diff…","codex.threadFindBar.placeholder.review.extension":"Tafuta diff…","codex.threadFindBar.previousResult":"Matokeo ya awali","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {Faili # imebadilishwa} other {Faili # zimebadilishwa}}","codex.unifiedDiff.inlineLargeFile":"Kubwa sana kuonyesha ndani ya mstari","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Tendua","codex.unifiedDiff.revertPatchError":"Imeshindwa kugeuza mabadiliko","codex.unifiedDiff.revertPatchSuccess":"Mabadiliko yamegeuzwa","codex.unifiedDiff.reviewChangesSuffix":"mabadiliko","codex.unifiedDiff.reviewShort":"Kagua","codex.unifiedDiff.viewDiffTooltip":"Kagua","codex.upsellBanner.business.headline":"Ili kupata ufikiaji zaidi sasa, tuma ombi kwa msimamizi wako, au subiri hadi {resetDate}.","codex.upsellBanner.cbp.headline":"Ili kupata ufikiaji zaidi sasa, tuma ombi kwa msimamizi wako.","codex.upsellBanner.cta.addCredits":"Ongeza salio","codex.upsellBanner.cta.upgradeAccount":"Boresha","codex.upsellBanner.cta.viewUsage":"Tazama Matumizi","codex.upsellBanner.free.trialHeadline":"Kikomo cha kiwango chako kinawekwa upya kwenye {resetDate}. Ili kuendelea kutumia Codex na kupata ufikiaji wa GPT-5.3-Codex, anza jaribio lako la Plus la bila malipo leo.","codex.upsellBanner.freeOrGo.headline":"Vikomo vya kiwango chako vinawekwa upya mnamo {resetDate}. Ili kuendelea kutumia Codex, boresha iwe Plus leo.","codex.upsellBanner.general.headline":"Vikomo vyako vinawekwa upya mnamo {resetDate}.","codex.upsellBanner.general.title":"Umeishiwa na jumbe za Codex","codex.upsellBanner.go.trialHeadline":"Kikomo cha kiwango chako huwekwa upya katika {resetDate}. Ili kuendelea kutumia Codex, anza jaribio lako la bila malipo la Plus leo.","codex.upsellBanner.plus.headline":"Kikomo cha kiwango chako kinawekwa upya mnamo {resetDate}. Ili kuendelea kutumia Codex, ongeza salio au boresha iwe Pro leo.","codex.upsellBanner.pro.headline":"Kikomo cha kiwango kinawekwa upya mnamo {resetDate}. Ongeza salio ili kuendelea kutumia Codex sasa.","codex.userMessage.autoResolveSync":"Suluhisha migogoro kiotomatiki","codex.userMessage.commentCount":"{count, plural, one {Maoni #} other {Maoni #}}","codex.userMessage.copiedAriaLabel":"Imenakiliwa","codex.userMessage.copiedTooltip":"Imenakiliwa","codex.userMessage.copyAriaLabel":"Nakili ujumbe","codex.userMessage.copyTooltip":"Nakili","codex.userMessage.implementPlan":"Tekeleza mpango","codex.userMessage.noContent":"(Hakuna maudhui)","codex.userMessage.priorConversation":"Inarejelea mazungumzo ya awali","codex.userMessage.reviewMode":"Hakiki msimbo","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"kwa {query}","codex.webSearch.summary.verb.completed":"Imetafuta wavuti","codex.webSearch.summary.verb.inProgress":"Kutafuta kwenye wavuti","codex.windowsInstallWslBanner.dismiss":"Funga","codex.windowsInstallWslBanner.installWslCta":"Wezesha sandbox","codex.windowsInstallWslBanner.learnMore":"Pata maelezo zaidi","codex.windowsSandboxBanner.content":"Hali ya wakala hutumia sandbox ya majaribio ya Windows kuwekea kikomo mfumo na ufikiaji wa mtandao. {sandboxLink}","codex.windowsSandboxBanner.title":"Wezesha sandbox kwa ajili ya hali ya Wakala","codex.windowsSubDropdown.windowsSandbox":"Sandbox ya Windows","codex.windowsSubDropdown.windowsSettings":"Mipangilio ya Windows","codexUpgradeModal.body":"Muundo wetu wa hivi karibuni wa kusimba wa wakala wa mbele – wenye akili zaidi, wa haraka zaidi na wenye uwezo zaidi katika kazi ya kiufundi ya kawaida. {link}","codexUpgradeModal.close":"Funga","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Pata maelezo zaidi","codexUpgradeModal.title":"Tunakuletea GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Jaribu GPT-5.3-Codex sasa","codexUpgradeModal.useExistingModel":"Endelea kwa muundo wa sasa","commentAttachments.numComments":"{count, plural, one {Maoni #} other {Maoni #}}","commentAttachments.removeAriaLabel":"Ondoa kiambatisho cha maoni","common.close":"Funga","composer.addContext.openFilePickerError":"Haikuweza kufungua kichaguaji cha faili","composer.addContextDropdown.ariaLabel":"Ongeza faili na mengine zaidi","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Ongeza faili na mengine zaidi","composer.addPhotosAndFiles":"Ongeza picha na faili","composer.atMentionList.emptyQuery":"Andika ili kutafuta faili","composer.atMentionList.loading":"Unatafuta...","composer.atMentionList.noResults":"Hakuna matokeo","composer.attemptsSelector.option":"{count, plural, one {Toleo la #} other {Matoleo ya #}}","composer.attemptsSelector.tooltip":"Idadi ya majaribio sambamba ya Codex ili kutengeneza","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Sitisha","composer.cloudFollowUp.cloud":"Wingu","composer.cloudFollowUp.local":"Eneo","composer.cloudFollowUp.whereRun":"Je, ufuatilizi huu unaweza kuendeshwa wapi?","composer.cloudTaskCreationError":"Hitilafu katika kuunda shughuli ya wingu","composer.cloudTaskError":"Hitilafu katika kuunda shughuli","composer.contextWindow.autoCompactionTooltipLine1":"Codex hufinyiza kiotomatiki muktadha wake","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Dirisha la muktadha:","composer.contextWindowUsageStatusFull":"Imejaa asilimia {usage}","composer.contextWindowUsageStatusLeft":"{usage}% imetumiwa (inasalia {remaining}%)","composer.contextWindowUsageTooltip":"Tokeni {usedTokens}k / {contextWindow}k tokens zimetumiwa","composer.customCliTooltip":"Kwa kutumia CLI maalum inayoweza kutekelezwa","composer.dictation.aria":"Toa imla","composer.dictation.cancel.aria":"Sitisha imla","composer.dictation.cancel.tooltip":"Sitisha imla","composer.dictation.startError":"Haikuweza kuanza imla","composer.dictation.submit.aria":"Nukuu na utume","composer.dictation.submit.tooltip":"Nukuu na utume","composer.dictation.tooltip":"Shikilia ili kuzungumza","composer.dictation.transcribeError":"Haikuweza kunukuu sauti","composer.dictation.unsupported":"Unukuaji haupatikani kwenye kifaa hiki","composer.dropOverlay.holdShift":"Shikilia {key} ili kudondosha","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Unda mpya","composer.environmentSelector.error":"Hitilafu katika kupakia mazingira","composer.environmentSelector.goBack":"Rudi kwenye mtunzi","composer.environmentSelector.title":"Chagua mazingira","composer.environmentSelector.tooltip":"Chagua mazingira ya wingu","composer.feedbackSlashCommand.title":"Maoni","composer.filePicker.selectFile":"Chagua faili","composer.filePicker.selectFiles":"Chagua mafaili","composer.followerTooltip":"Ili kuendelea, rudi kwenye dirisha ambapo mazungumzo haya yalianza.","composer.footer.branchSwitch.checkoutError":"Imeshindwa kubadilisha tawi: {message}","composer.footer.branchSwitch.createAndCheckout":"Unda na uangalie tawi mpya…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Tekeleza mabadiliko ili kuunda na kuangalia tawi mpya","composer.footer.branchSwitch.createBranchError":"Imeshindwa kuunda tawi: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Jina la tawi","composer.footer.branchSwitch.createDialog.branchExistsError":"Tawi tayari lipo.","composer.footer.branchSwitch.createDialog.close":"Funga","composer.footer.branchSwitch.createDialog.createAndCheckout":"Unda na uangalie","composer.footer.branchSwitch.createDialog.placeholder":"tawi mpya","composer.footer.branchSwitch.createDialog.title":"Unda na uangalie tawi","composer.footer.branchSwitch.createDialog.trailingSlashError":"Jina la tawi haliwezi kumalizika kwa “/”.","composer.footer.branchSwitch.tooltip":"Badilisha tawi","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Tekeleza mabadiliko kwenye {fileCount, plural, one {Faili #} other {Faili #}} ili kuangalia {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Jitolee","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"mabadiliko katika {fileCount, plural, one {Faili #} other {Faili #}} ili kuangalia {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Ghairi","composer.footer.branchSwitch.uncommittedDialog.commit":"Tekeleza kisha ubadilishe tawi…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Mabadiliko yako kwa faili zifuatazo yangeondolewa na kuondoka:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Tafadhali tekeleza mabadiliko yako ili kuendelea","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"tawi lililochaguliwa","composer.footer.branchSwitch.uncommittedDialog.title":"Tekeleza mabadiliko ili kubadilisha tawi","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Isiyotekelezwa: {fileCount, plural, one {Faili #} other {Faili #}}","composer.forkSlashCommand.description":"Gawanya tukio hili katika mti mpya wa kazi au ndani","composer.forkSlashCommand.option.local.description":"Endelea kwenye tukio mpya la ndani","composer.forkSlashCommand.option.local.title":"Gawanya katika ndani","composer.forkSlashCommand.option.worktree.description":"Endelea kwenye mti mpya wa kazi","composer.forkSlashCommand.option.worktree.title":"Gawanya katika mti mpya wa kazi","composer.forkSlashCommand.title":"Fork","composer.ideContextIndicator":"Muktadha wa IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Jumuisha muktadha kutoka kwa IDE","composer.ideContextIndicator.tooltipToggle":"ili kugeuza","composer.ideContextSlashCommand.disableDescription":"Zima muktadha wa IDE","composer.ideContextSlashCommand.enableDescription":"Jumuisha chaguo la sasa, mafaili yaliyo wazi na muktadha mwingine kutoka kwa IDE yako","composer.ideContextSlashCommand.title":"Muktadha wa IDE","composer.imageInputsUnsupported":"Muundo huu hauauni maingizo ya picha. Jaribu muundo tofauti.","composer.imageUploadFailed":"Imeshindwa kupakia picha","composer.includeIdeContextDropdown":"Jumuisha muktadha wa IDE","composer.includeIdeContextDropdown.ariaLabel":"Jumuisha muktadha wa IDE","composer.localCwdDropdown.addWorkspaceRoot":"Ongeza mradi mpya","composer.localCwdDropdown.noActiveRoot":"Chagua mradi wako","composer.localCwdDropdown.noResults":"Hakuna folda zimepatikana","composer.localCwdDropdown.title":"Chagua mradi wako","composer.localTaskError":"Hitilafu katika kuanza mazungumzo","composer.mcpSlashCommand.description":"Onyesha hali ya seva ya MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Haijathibitishwa","composer.mcpStatus.authOauth":"Imethibitishwa (OAuth)","composer.mcpStatus.authToken":"Imethibitishwa (ufunguo wa API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Funga","composer.mcpStatus.disabled":"Imelemazwa","composer.mcpStatus.emptyLabel":"Seva:","composer.mcpStatus.emptyValue":"Hakuna seva za MCP zimesanidiwa","composer.mcpStatus.enabled":"Imewezeshwa","composer.mcpStatus.errorLabel":"Hali:","composer.mcpStatus.errorValue":"Haikuweza kupakia hali ya MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Wakala","composer.mode.agentMode.auto.dropdownLabel":"Wakala","composer.mode.agentMode.auto.optionLabel":"Wakala","composer.mode.agentMode.changePermission":"Badilisha hali","composer.mode.agentMode.custom":"Maalum","composer.mode.agentMode.custom.dropdownLabel":"Maalum","composer.mode.agentMode.custom.option":"Maalum (config.toml)","composer.mode.agentMode.custom.optionLabel":"Maalum (config.toml)","composer.mode.agentMode.customInfo.cancel":"Ghairi","composer.mode.agentMode.customInfo.cli":"Unaweza kurekebisha mipangilio hio kutoka kwa CLI au kwa kuhariri faili moja kwa moja.","composer.mode.agentMode.customInfo.confirm":"Tumia hali maalum","composer.mode.agentMode.customInfo.description":"Hali maalum inatumia uidhinishaji na sera za sandbox iliyobainishwa kwenye faili <link>yako ya </link>config.toml.","composer.mode.agentMode.customInfo.docs":"Pata maelezo zaidi kuhusu kusanidi sera za sandbox na uidhinishaji kwenye <link>hati za mazingira za </link>utekelezaji.","composer.mode.agentMode.customInfo.refresh":"Mabadiliko yoyote yanatumika wakati mwingine ambao wakala unaendeshwa.","composer.mode.agentMode.customInfo.title":"Jinsi hali maalum hufanya kazi","composer.mode.agentMode.fullAccess":"Wakala (ufikiaji kamili)","composer.mode.agentMode.fullAccess.dropdownLabel":"Wakala (ufikiaji kamili)","composer.mode.agentMode.fullAccess.optionLabel":"Wakala (ufikiaji kamili)","composer.mode.agentMode.fullAccessConfirm.caution":"Kuna na tahadhari wakati wa kuwezesha ufikiaji kamili. Hii huongeza kwa kiasi kikubwa hatari ya kupotea, kuvunjwa au tabia ya data isiyotarajiwa.","composer.mode.agentMode.fullAccessConfirm.confirm":"Ndiyo, endelea licha ya hayo","composer.mode.agentMode.fullAccessConfirm.description":"Wakati Codex inaendeshwa kwa ufikiaji kamili, inaweza kuhariri faili yoyote kwenye kompyuta yako na kuendesha amri kwa mtandao, bila idhini yako.","composer.mode.agentMode.fullAccessConfirm.goBack":"Ghairi","composer.mode.agentMode.fullAccessConfirm.title":"Utawezesha ufikiaji kamili?","composer.mode.agentMode.readOnly":"Chati","composer.mode.agentMode.readOnly.dropdownLabel":"Chati","composer.mode.agentMode.readOnly.optionLabel":"Chati","composer.mode.agentMode.tooltip":"Badilisha hali","composer.mode.agentMode.tooltip.auto":"Soma na uhariri faili na amri zetu.","composer.mode.agentMode.tooltip.custom":"Tumia sera za sandbox na idhini za hivi karibuni zilizobainishwa kwenye config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex inaweza kuhariri mafaili nje ya mradi na kuendesha amri kwa ufikiaji wa mtandao. Kuwa mwangalifu unapotumia.","composer.mode.agentMode.tooltip.readOnly":"Inahitaji idhini ili kuhariri faili na kuendesha amri.","composer.mode.cloud.tooltip":"Fanya kazi katika mazingira ya wingu","composer.mode.contactAdmin":"Ili kupata ufikiaji zaidi, wasiliana na msimamizi wako","composer.mode.local":"Eneo","composer.mode.local.learnMore":"Pata maelezo zaidi","composer.mode.local.model.custom":"Maalum","composer.mode.local.model.loadingModel":"Inapakia zaidi","composer.mode.local.model.selecrReasoningEffort":"Chagua uwazaji","composer.mode.local.model.selectModel":"Chagua muundo","composer.mode.local.model.tooltip":"Chagua muundo","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Juu","composer.mode.local.reasoning.low.label":"Chini","composer.mode.local.reasoning.medium.label":"Wastani","composer.mode.local.reasoning.minimal.label":"Kidogo","composer.mode.local.reasoning.none.label":"Hamna","composer.mode.local.reasoning.xhigh.label":"Juu zaidi","composer.mode.localRemoteWhereRun":"Chagua pale pa kuendesha shughuli","composer.mode.newTask.header":"Endelea kwenye","composer.mode.rateLimit.day":"siku {days}","composer.mode.rateLimit.heading":"Vikomo vya kiwango vinavyosalia","composer.mode.rateLimit.hour":"saa {hours}","composer.mode.rateLimit.minute":"dak {minutes}","composer.mode.rateLimit.modelSectionLabel":"Kikomo {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {kikomo cha kila wiki} other {kikomo cha wiki {weeks}}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Kila wilki} other {Wiki {weeks}}}","composer.mode.remote.connectToCloud":"Unganisha wavuti wa Codex","composer.mode.remote.connectToCloudDisabledTooltip":"Sanidi mazingira kupitia wavuti wa Codex ili kuwezesha kutuma shughuli kwenye wingu","composer.mode.remote.selectEnvironment":"Chagua mazingira","composer.mode.remote.sendToCloud":"Tuma kwenye wingu","composer.mode.remote.setupViaWeb":"Sanidi mazingira kupitia wavuti wa Codex","composer.mode.runInCloud":"Wingu","composer.mode.runInCloudWithEnvironment":"Wingu · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Fanya kazi katika mazingira ya wingu","composer.mode.segmentedToggle.local.tooltip":"Fanya kazi kwenye mradi wako wa ndani","composer.mode.segmentedToggle.worktree.tooltip":"Fanya kazi katika mti wa kazi sambamba","composer.mode.upgradeToPlus":"Pata toleo jipya la Plus","composer.mode.upgradeToPro":"Boresha iwe Pro","composer.mode.workLocally":"Mradi wa ndani","composer.mode.workLocally.currentBranchFallback":"tawi lako","composer.mode.workLocally.tooltip":"Fanya kazi kwenye {branchName} ","composer.mode.worktree":"Mti mpya wa kazi","composer.mode.worktree.submoduleWarning":"Hifadhi hii ina moduli ndogo za git. Uundaji wa mti wa kazi unaweza kushindikana.","composer.mode.worktree.tooltip":"Unda nakala ya mradi wako wa ndani ili kufanya kazi sambamba","composer.mode.worktreeSegment":"Mti wa kazi","composer.modelChangeDuringConversationWarning.toast":"Kubadilisha miundo katikati mwa mazungumzo kutadhoofisha utendaji.","composer.newChat.heading.browser":"Je, tunapaswa kufuatia kusimba nini?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex hutumia kibali kilichobainishwa kwenye config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex ina ufikiaji kamili wa kompyuta yako (hatari iliyoongezeka)","composer.permissionsDropdown.custom.label":"Maalum (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Maalum (config.toml)","composer.permissionsDropdown.default.label":"Kibali chaguomsingi","composer.permissionsDropdown.default.optionLabel":"Kibali chaguomsingi","composer.permissionsDropdown.default.tooltip":"Codex huendesha kiotomatiki amri katika sandbox","composer.permissionsDropdown.disabled.requirements":"Vibali vimefungwa na requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Ufikiaji kamili umelemazwa kwenye requirements.toml","composer.permissionsDropdown.fullAccess.label":"Ufikiaji kamili","composer.permissionsDropdown.fullAccess.optionLabel":"Ufikiaji kamili","composer.permissionsDropdown.trigger.tooltip":"Badilisha vibali","composer.personalitySlashCommand.description.friendly":"Tulivu, shirikishi na yenye usaidizi","composer.personalitySlashCommand.description.pragmatic":"Fupi, yenye angazio la shughuli na ya moja kwa moja","composer.personalitySlashCommand.label.friendly":"Ya kirafiki","composer.personalitySlashCommand.label.pragmatic":"Uhalisi","composer.personalitySlashCommand.notApplicableSuffix":"(Haitumiki kwa muundo wa sasa)","composer.personalitySlashCommand.title":"Haiba","composer.placeholder.cloudFollowUp.directFollowUp":"Ufuatilizi wa shughuli hii ya wingu","composer.placeholder.cloudFollowUp.local":"Unda shughuli ya ndani mpya ambayo inarejelea shughuli hii ya kazi","composer.placeholder.cloudFollowUp.workingTree":"Unda shughuli mpya ya wingu ambayo inajumuisha msimbo wako wa sasa na itarejelea shughuli hii","composer.placeholder.localFollowUp.cloud":"Fuata kwenye shughuli mpya ya wingu","composer.placeholder.localFollowUp.locally":"Omba mabadiliko ya ufuatilizi","composer.placeholder.newTask.cloud":"Omba Codex kufanya chochote kwenye wingu","composer.placeholder.newTask.doAnything":"Uliza Codex chochote","composer.placeholder.newTask.locally":"Uliza Codex chochote, @ ili kuongeza faili, / kwa ajili ya amri","composer.planModeDropdown":"Hali ya mpango","composer.planModeDropdown.ariaLabel":"Hali ya mpango","composer.planModeIndicator":"Mpango","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Unda mpango kwa Codex","composer.planModeIndicator.tooltipToggle":"ili kugeuza","composer.planSlashCommand.disableDescription":"Zima hali ya mpango","composer.planSlashCommand.enableDescription":"Washa hali ya mpango","composer.planSlashCommand.title":"Hali ya mpango","composer.priorContext.label":"Muktadha wa awali","composer.priorContext.removeAriaLabel":"Ondoa muktadha wa awali","composer.queuedMessage.delete":"Futa ujumbe uliopangwa","composer.queuedMessage.edit":"Hariri ujumbe","composer.queuedMessage.more":"Matendo ya ujumbe uliopangwa","composer.queuedMessage.sendNow":"Elekeza","composer.queuedMessage.sendNowTooltip":"Tuma sasa bila kukatiza kazi","composer.queuedMessage.turnOff":"Zima kupanga","composer.reasoningEffort.local.reasoning.tooltip":"Chagua jitihada la uwazaji","composer.remote.branchStartingPoint":"Je, shughuli hii inapaswa kuanza kwa tawi gani?","composer.remote.branchesSectionHeading":"Matawi","composer.remote.currentEditsSuffix.followUp":"Unda shughuli mpya ambayo inarejelea shughuli hii ya wingu.","composer.remote.currentEditsSuffix.useLocal":"kwa mabadiliko ya msimbo wa eneo","composer.remote.directFollowUp":"Usitumie mabadiliko ya eneo","composer.remote.errorLoadingBranches":"Hitilafu katika kupakia matawi","composer.remote.fromBranch":"kutoka {branch}","composer.remote.fromCurrentBranch":"Kutoka {branch} (sasa)","composer.remote.loadingMoreBranches":"Inapakia...","composer.remote.localFileStateHeading":"Hali ya faili ya ndani","composer.remote.localWorkingTree":"Tumia mabadiliko ya eneo","composer.remote.startingPoint":"Je, shughuli hii inapaswa kuanza kwa msimbo upi?","composer.reviewMode.branches.error":"Haikuweza kupakia matawi","composer.reviewMode.branches.retry":"Jaribu tena","composer.reviewMode.gitRoot.error":"Mzizi wa Git haukupatikana","composer.reviewMode.option.baseBranch.simple":"Hakiki dhidi ya tawi msingi","composer.reviewMode.option.unstaged.simple":"Hakiki mabadiliko ambayo hayajatekelezwa","composer.reviewMode.quickReviewError":"Imeshindwa kuanza uhakiki wa msimbo.","composer.reviewMode.title":"Uhakiki wa msimbo","composer.sandboxButton.unlock.disabled.tooltip":"Ufikiaji kamili umelemazwa kwenye requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex inaweza kutumia sandbox ya majaribio kwenye Windows ili kuwekea kikomo mfumo wa faili na ufikiaji wa mtandao. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Je, utawezesha sandbox ya Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Tumia kusoma pekee","composer.searchEnvironments":"Tafuta mazingira","composer.skillMentionList.app":"Programu","composer.skillMentionList.loading":"Ujuzi wa kupakia...","composer.skillMentionList.noResults":"Hakuna ujuzi umepatikana","composer.slashCommands.cloudEnvironment.title":"Mazingira ya wingu","composer.slashCommands.dialogLabel":"Menyu ya amri ya slash","composer.slashCommands.dialogTitle":"Amri za slash","composer.slashCommands.disabledTooltip":"Anza mazungumzo mapya ili kutumia amri za slash","composer.slashCommands.inputPlaceholder":"Tafuta","composer.slashCommands.noResults":"Hakuna amri","composer.slashCommands.skillsGroup":"Ujuzi","composer.slashCommands.tooltip":"Vinjari amri za slash","composer.status.close":"Funga","composer.statusPlain.alertLabel":"Arifa:","composer.statusPlain.alertValue":"Imesalia {remaining}% kwenye {window}","composer.statusPlain.contextLabel":"Muktadha:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"(imetumiwa {used} / {total})","composer.statusPlain.contextValueRemaining":"Zimesalia {remaining}%","composer.statusPlain.heading":"Hali","composer.statusPlain.modelRateLimitSectionLabel":"Kikomo {modelName}:","composer.statusPlain.rateLimitDays":"Kikomo cha siku {count}","composer.statusPlain.rateLimitFallbackLabel":"Kikomo cha kiwango:","composer.statusPlain.rateLimitHours":"Kikomo cha saa {count}","composer.statusPlain.rateLimitLabelBase":"Kikomo cha kiwango","composer.statusPlain.rateLimitMinutes":"Kikomo cha dak {count}","composer.statusPlain.rateLimitPercent":"Zimesalia {remaining}%","composer.statusPlain.rateLimitReset":"inawekwa upya {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"wakati wa kuwekwa upya haupatikani","composer.statusPlain.rateLimitUnavailable":"Haipatikani","composer.statusPlain.sessionCopiedAriaLabel":"Imenakili kitambulisho cha kikao","composer.statusPlain.sessionCopiedTooltip":"Kitambulisho kilichonakiliwa","composer.statusPlain.sessionCopyAriaLabel":"Nakili kitambulisho cha kikao","composer.statusPlain.sessionCopyTooltip":"Nakili kitambulisho","composer.statusPlain.sessionLabel":"Kikao:","composer.statusSlashCommand.description":"Onyesha kitambulisho cha tukio, matumizi ya muktadha na vikomo vya kiwango","composer.statusSlashCommand.title":"Hali","composer.submit.blockedDialogOk":"Sawa","composer.submit.blockedDialogTitle":"Haikuweza kutuma ujumbe","composer.submit.emptyMessage":"Ingiza ujumbe ili kuanza","composer.submit.imageInputsUnsupported":"Ondoa picha au badilisha miundo ili kutuma ujumbe huu.","composer.submit.loadingLocalConfig":"Inapakia...","composer.submit.missingCloudConfig":"Ni lazima uchague mazingira ya wingu","composer.submit.missingCloudTurn":"Haikwezi kufuatilia shughuli hii","composer.submit.noWorkspace":"Ongeza mradi ili kutumia Codex","composer.submit.waitForImageUploads":"Inapakia picha…","composer.submitButtonTooltip.send":"Tuma","composer.submitButtonTooltip.stop":"Sitisha","composer.worktreeEnvironment.create":"Unda mazingira ya eneo","composer.worktreeEnvironment.default":"Mazingira chaguomsingi","composer.worktreeEnvironment.error":"Hitilafu katika kupakia mazingira","composer.worktreeEnvironment.loading":"Inapakia mazingira…","composer.worktreeEnvironment.title":"Mazingira ya ndani","composer.worktreeEnvironment.tooltip":"Chagua mazingira ya ndani","composer.worktreeSetupFailed":"Usanidi wa mti wa kazi umeshindikana. Angalia .codex/environments kwa ajili ya nakala ya usanidi.","compoundButton.secondaryAction":"Hatua ya pili","copyButton.copied":"Imenakiliwa","copyButton.copiedAriaLabel":"Imenakiliwa","copyButton.copy":"Nakili","copyButton.copyAriaLabel":"Nakili","copyButton.copyCode":"Nakili msimbo","diff.actionButton.revertFile":"Geuza Faili","diff.actionButton.revertHunk":"Rejesha","diff.actionButton.revertSection":"Geuza zote","diff.actionButton.revertSectionLabel":"Geuza zote","diff.actionButton.stageFile":"Panga Faili","diff.actionButton.stageHunk":"Panga","diff.actionButton.stageSection":"Panga zote","diff.actionButton.stageSectionLabel":"Panga zote","diff.actionButton.unstageFile":"Acha Kupanga Faili","diff.actionButton.unstageHunk":"Acha kupanga","diff.actionButton.unstageSection":"Acha kupanga zote","diff.actionButton.unstageSectionLabel":"Acha kupanga zote","diff.fileHeader.toggle":"Geuza diff ya faili","electron.onboarding.login.apikey.cancel":"Ghairi","electron.onboarding.login.apikey.continue":"Endelea","electron.onboarding.login.apikey.label":"Ufunguo wa API wa OpenAI","electron.onboarding.login.apikey.open":"Ingiza ufunguo wa API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Ghairi uingiaji","electron.onboarding.login.chatgpt.continue":"Endelea kwa ChatGPT","electron.onboarding.login.devbox":"Unganisha kwenye SSH ya mbali","electron.onboarding.login.error":"Imeshindwa kuingia: {rawMessage}","electron.onboarding.login.snake.start":"Cheza Snake","electron.onboarding.login.sshConfig.cancel":"Ghairi","electron.onboarding.login.sshConfig.continue":"Endelea","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Ile njia bora zaidi ya kujenga na wakala","electron.onboarding.login.title":"Karibu kwenye Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Endelea","electron.onboarding.welcome.doubleLimits.description":"Katika kusherehekea uzinduzi wa programu ya Codex, una vikomo vya kiwango cha 2× hadi Aprili 2.","electron.onboarding.welcome.freego.description":"Codex imejumuishwa katika mpango wako bila malipo hadi tarehe 2 Machi — tuanze kujenga pamoja.","electron.onboarding.welcome.new.title.anon":"Karibu!","electron.onboarding.workspace.continue":"Endelea","electron.onboarding.workspace.empty":"Ongeza mradi ili kuendelea.","electron.onboarding.workspace.listLabel":"Miradi inayopatikana","electron.onboarding.workspace.loading":"Inapakia miradi…","electron.onboarding.workspace.openFolder":"Ongeza mradi","electron.onboarding.workspace.selectAll":"Chagua zote","electron.onboarding.workspace.skip":"Ruka","electron.onboarding.workspace.skip.error":"Haikuweza kuunda mradi mpya: {message}","electron.onboarding.workspace.skip.error.unknown":"Hitilafu isiyojulikana","electron.onboarding.workspace.skipping":"Inaunda mradi mpya…","electron.onboarding.workspace.subtitle":"Codex itaweza kuhariri faili na kuendesha amri katika folda zilizochaguliwa.","electron.onboarding.workspace.title":"Chagua mradi","errorPage.list.checkSettings":"Jaribu kusasisha mipangilio yako ya IDE","errorPage.list.configToml":"Angalia config.toml yako kwa ajili ya mipangilio isio halali","errorPage.list.downloadExtension":"Jaribu kupakua toleo tofauti la mkondo","errorPage.list.runInWsl":"Angalia mipangilio yako ili kulemaza kuendesha kwenye WSL ikiwa unaona matatizo ya utangamanifu","execApprovalRequest.menu.runAlways":"Ndiyo, na usiulize tena katika kipindi hiki","execApprovalRequest.menu.runAlwaysWithAmendment":"Ndiyo, na usiulize tena amri ambazo zinaanza kwa {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Ndiyo na usiulize tena amri ambazo zinaanza kwa","execApprovalRequest.menu.runOnce":"Ndiyo","execApprovalRequest.prompt":"Je, unataka kutekeleza amri hii?","execApprovalRequest.reject":"Hapana","execFooter.exitCode":"Msimbo wa kutoka {code}","execFooter.exitCode.unknown":"haijulikani","execFooter.success":"Mafanikio","feedback.dialog.category.badResult":"Matokeo mbaya","feedback.dialog.category.bug":"Kasoro","feedback.dialog.category.goodResult":"Matokeo mazuri","feedback.dialog.category.other":"Nyingine","feedback.dialog.descriptionPlaceholder":"Fafanua tatizo hapa","feedback.dialog.dismiss":"Funga","feedback.dialog.includeLogsLabel":"Jumuisha ripoti za kikao cha Codex cha sasa","feedback.dialog.submit":"Wasilisha","feedback.dialog.submitError":"Hatukuweza kuwasilisha maoni yako. Tafadhali jaribu tena baada ya muda mfupi.","feedback.dialog.title":"Maoni","feedback.dialog.uploadedMessage.existingIssue":"tatizo wazi lililopo","feedback.dialog.uploadedMessage.openIssue":"fungua tatizo la GitHub","feedback.dialog.uploadedMessage.withThread":"Maoni yamepakiwa. Tatizo likiendelea, tafadhali {openIssueLink} au taja kitambulisho cha tukio katika {existingIssueLink}:","feedback.dialog.uploadedTitle":"Maoni yamepakiwa","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Ondoa {filename}","header.back":"Nyuma","header.recentChats":"Shughuli","header.recentTasks.seeAll":"Tazama zote ({total})","home.header.getPlus":"Pata Plus","home.hero.letsBuild":"Acha tujenge","homePage.mainContent":"Maudhui kuu","imageAttachment.defaultName":"picha","imageAttachment.preview.close":"Funga dokezo la picha","imageAttachment.removeAriaLabel":"Ondoa {filename}","implementPlanRequest.option.implement":"Ndiyo, tekeleza mpango huu","implementPlanRequest.prompt":"Je, utatekeleza mpango huu?","inbox.archived.deleteError":"Haikuweza kufuta uendeshaji uliohifadhiwa kwenye kumbukumbu","inbox.archived.deleteRun":"Futa uendeshaji uliohifadhiwa kwenye kumbukumbu","inbox.archived.deleteSuccess":"Mazungumzo yaliyohifadhiwa kwenye kumbukumbu yamefutwa. Tazama <settingsLink>Mazungumzo yaliyohifadhiwa kwenye kumbukumbu</settingsLink>.","inbox.archived.inlineLabel.auto":"Mazungumzo haya yalihifadhiwa kwenye kumbukumbu kiotomatiki. <learnMoreLink>Pata maelezo zaidi</learnMoreLink>","inbox.archived.inlineLabel.manual":"Mazungumzo haya yalihifadhiwa kwenye kumbukumbu.","inbox.archived.noMessageFound":"Hakuna ujumbe uliopatikana","inbox.automations.createError":"Haikuweza kuunda ufanyaji otomatiki","inbox.automations.deleteConfirm.cancel":"Ghairi","inbox.automations.deleteConfirm.confirm":"Futa ufanyaji otomatiki","inbox.automations.deleteConfirm.description":"Hii itafuta daima ufanyaji otomatiki na kusitisha uendeshaji wowote wa siku za usoni.","inbox.automations.deleteConfirm.title":"Je, utafuta {name}?","inbox.automations.deleteError":"Haikuweza kufuta ufanyaji otomatiki","inbox.automations.editTooltip":"Hariri otomatiki","inbox.automations.inProgress":"Inaendelea","inbox.automations.new":"Mpya","inbox.automations.newToolbar":"Ufanyaji otomatiki mpya","inbox.automations.pauseTooltip":"Sitisha otomatiki","inbox.automations.resumeTooltip":"Endelea na otomatiki","inbox.automations.startingNow":"Kuanzia sasa","inbox.automations.startsIn":"Inaanza katika {startTime}","inbox.automations.status.active":"Amilifu","inbox.automations.status.paused":"Imesitishwa","inbox.automations.status.runs":"uendeshaji {count}","inbox.automations.status.started":"Ilianza {date}","inbox.automations.updateError":"Haikuweza kusasisha ufanyaji otomatiki","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Zote","inbox.filter.ariaLabel":"Chuja vipengee vya kisanduku","inbox.filter.unread":"Haijasomwa","inbox.list.archived":"Iliyohifadhiwa kwenye kumbukumbu","inbox.list.inProgress":"Inaendelea","inbox.list.recent":"Imekamilisha","inbox.list.upNext":"Zimeratibiwa","inbox.mode.automations":"Ufanyaji otomatiki","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Hakuna maelezo yametolewa","inbox.openThread":"Fungua tukio","inbox.rightPanel.emptySubtitle":"Fanya kazi iwe otomatiki kwa kusanidi shughuli zilizoratibiwa","inbox.rightPanel.emptySubtitle.learnMore":"Fanya kazi iwe otomatiki kwa kusanidi mazungumzo yaliyoratibiwa. <link>Pata maelezo zaidi</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {Ufanyaji otomatiki # amilifu} other {Ufanyaji otomatiki # amilifu}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Hakuna ufanyaji otomatiki ambao haujasomwa","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {Ufanyaji otomatiki # ambao haujasomwa} other {Ufanyaji otomatiki # ambao haujasomwa}}","inbox.rightPanel.emptyTitle":"Hakuna kipengee kimechaguliwa","inbox.rightPanel.noThread":"Hakuna tukio kwa kipengee hiki","inbox.rightPanel.quickStart.header":"Anza kwa kiolezo","inbox.untitled":"Kipengee cha kisanduku kisicho na kichwa","loadingPage.documentationLink":"hati","loadingPage.errorDescription":"Codex imeanguka kwa hitilafu inayofuata.","loadingPage.errorDescription.documentation":"Bofya pakia upya ili kuanza mkondo wa Codex au tembelea {documentationLink} yetu kwa ajili ya usaidizi wa ziada.","loadingPage.errorSignal":"Baadhi ya mambo ya kujaribu:","loadingPage.errorTitle":"Hitilafu imetokea","loadingPage.openConfigToml":"Fungua Config.toml","loadingPage.reload":"Pakia upya","localConversation.contextCompacted":"Muktadha umefinyizwa kiotomatiki","localConversation.contextCompacting":"Inafinyiza muktadha kiotomatiki","localConversation.forkedFromConversation":"Imegawanywa kutoka {threadTitle}","localConversation.merge.autoResolve.failed":"Imeshindwa kuomba usuluhishaji otomatiki: {error}","localConversation.merge.autoResolve.sent":"Ombi la kusuluhisha kiotomatiki limetumwa","localConversation.merge.autoResolveMerge.missingConversation":"Haikuweza kusuluhisha kiotomatiki bila mazungumzo amilifu.","localConversation.merge.autoResolveMerge.request":"Suluhisha kiotomatiki migogoro ya kuunganisha","localConversation.modelChanged":"Muundo umebadilishwa kutoka {fromModel} hadi {toModel}.","localConversation.modelChanged.warning.line1":"Kubadilisha miundo katikati mwa mazungumzo kutadhoofisha utendaji.","localConversation.modelChanged.warning.line2":"Muktadha unaweza kufinyizwa kiotomatiki.","localConversation.moveThread.createBranch.label":"Unda tawi","localConversation.moveToLocal.disabled.loading":"Inapakia...","localConversation.moveToLocal.modal.continue":"Endelea","localConversation.moveToLocal.modal.destinationLabel":"Hamisha kwenye","localConversation.moveToLocal.modal.retry":"Jaribu tena","localConversation.moveToWorktree.modal.back":"Nyuma","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Tawi tayari lipo.","localConversation.moveToWorktree.modal.branchesError":"Haikuweza kupakia matawi","localConversation.moveToWorktree.modal.branchesLoading":"Inapakia matawi…","localConversation.moveToWorktree.modal.branchesRetry":"Jaribu tena","localConversation.moveToWorktree.modal.continue":"Endelea","localConversation.moveToWorktree.modal.retry":"Jaribu tena","localConversation.moveToWorktree.modal.trailingSlashError":"Jina la tawi haliwezi kumalizika kwa “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"tawi mpya","localConversation.personalityChanged":"Imebadilishwa kuwa haiba ya {personality}","localConversation.planSummary.collapse":"Kunja muhtasari wa mpango","localConversation.planSummary.collapseTooltip":"Kunja","localConversation.planSummary.download":"Mpango wa kupakua","localConversation.planSummary.expand":"Panua muhtasari wa mpango","localConversation.planSummary.expandTooltip":"Panua","localConversation.planSummary.openInNewWindow":"Fungua","localConversation.planSummary.openInNewWindow.tooltip":"Fungua katika dirisha mpya","localConversation.planSummary.title":"Mpango","localConversation.planSummary.titleWriting":"Kuandika mpango","localConversation.planSummary.viewPlan":"Panua mpango","localConversation.remoteTaskCreated":"Imeunda {taskLink} kwenye Wingu la Codex","localConversation.remoteTaskCreated.task":"shughuli","localConversation.scrollToBottomButton":"Bingiriza hadi chini","localConversation.sync.buttonLabel":"Peana kwa ndani","localConversation.sync.buttonLabel.tooltip":"Wasilisha maoni kati ya mti huu wa kazi na uangalizi wako wa ndani.","localConversation.sync.modal.loading.title":"Inapeana mabadiliko…","localConversation.sync.modal.noChanges":"Hakuna mabadiliko","localConversation.syncSetup.branchAriaLabel":"Jina la tawi","localConversation.syncSetup.branchName":"Jina la tawi","localConversation.syncSetup.branchPlaceholder.existing":"Chagua tawi lililopo","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Inapakia matawi…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Tayari imetolewa","localConversation.syncSetup.checkoutClean":"Kwa sasa kwenye {branchName}","localConversation.syncSetup.checkoutDirty":"Kwa sasa kwenye {branchName} yenye mabadiliko ambayo hayajawekwa","localConversation.syncSetup.checkoutError":"Imeshindwa kutoa tawi: {message}","localConversation.syncSetup.checkoutLabel":"Tolewa kindani sasa","localConversation.syncSetup.checkoutOnLocal":"Peana kwa ndani","localConversation.syncSetup.checkoutPending":"Inaangalia hali ya ndani…","localConversation.syncSetup.checkoutUnavailable":"Eneo la kazi la ndani halipatikani","localConversation.syncSetup.checkoutUnknown":"Tawi la ndani halipatikani","localConversation.syncSetup.continue":"Endelea","localConversation.syncSetup.createBranchError":"Imeshindwa kuweka tawi la kupeana: {message}","localConversation.syncSetup.error":"Hitilafu imetokea: {message}","localConversation.syncSetup.error.workingTreeMissing":"Haikuweza kupiga picha ya hali ya mti wa kazi. Tafadhali jaribu tena kupeana.","localConversation.syncSetup.mode.ariaLabel":"Chagua hali ya tawi","localConversation.syncSetup.mode.existing":"Tawi lililopo","localConversation.syncSetup.mode.new":"Tawi jipya","localConversation.syncSetup.noBranches":"Hakuna matawi yaliyopatikana","localConversation.syncSetup.overwriteError":"Tawi limeundwa lakini halijapeanwa kikamilifu. Lipeane wewe mwenyewe kabla ya kutoa kindani.","localConversation.syncSetup.setPrefix":"Weka kiambishi awali","localConversation.syncSetup.subtitle":"Jaribu na uhariri mabadiliko ya mti wa kazi kwa ndani. <a>Pata maelezo zaidi</a>","localConversation.syncSetup.success.checkedOut":"Tawi limeundwa na limetolewa kindani","localConversation.syncSetup.success.notCheckedOut":"Tawi limeundwa","localConversation.syncSetup.title":"Peana kwa tawi la ndani","localConversation.syncWorktreeError.branchAriaLabel":"Jina la tawi","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Chagua tawi la kupeana, kisha jaribu tena kupakia mabadiliko.","localConversation.syncWorktreeError.branchSetup.title":"Sasisha tawi","localConversation.syncWorktreeError.branchUpdate.cta":"Sasisha kisha ujaribu upya","localConversation.syncWorktreeError.branchUpdate.error":"Imeshindwa kusasisha tawi: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Hitilafu imetokea: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Tawi halijatolewa kwenye mti wowote wa kazi.","localConversation.syncWorktreeV2.applyUncommitted":"Tumia","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Ni lazima utoe tawi kindani ili kutumia mabadiliko ambayo hayajawekwa","localConversation.syncWorktreeV2.branches.empty":"Hakuna matawi yaliyopatikana","localConversation.syncWorktreeV2.branches.loading":"Inapakia matawi…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Badilisha tawi la kupeana","localConversation.syncWorktreeV2.changeBranch.error":"Imeshindwa kubadilisha tawi la kupeana: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Utumiaji umeshindikana","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Kuandika upya mti wa kazi kumeshindikana","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Kuandika upya ya ndani kumeshindikana","localConversation.syncWorktreeV2.commandError.back":"Nyuma","localConversation.syncWorktreeV2.commandError.body":"Amri ya git imeshindikana wakati wa kupeana. Hakiki matokeo kisha ujaribu tena.","localConversation.syncWorktreeV2.commandError.retry":"Jaribu tena","localConversation.syncWorktreeV2.description":"Peana mabadiliko kati ya ndani na mti huu wa kazi <a>Pata maelezo zaidi</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Chagua mwelekeo wa kupeana","localConversation.syncWorktreeV2.error.generic":"Hitilafu imetokea wakati wa kupeana. Jaribu tena.","localConversation.syncWorktreeV2.localBranchLabel":"Ndani","localConversation.syncWorktreeV2.noChanges":"Kuhesabu mabadiliko","localConversation.syncWorktreeV2.noChanges.summary":"Hakuna mabadiliko","localConversation.syncWorktreeV2.overwrite.local":"Andika upya ya ndani","localConversation.syncWorktreeV2.overwrite.worktree":"Andika upya mti wa kazi","localConversation.syncWorktreeV2.partial.action.applyFailed":"Haikuweza kutumia mabadiliko","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Haikuweza kuandika upya mabadiliko ya ndani","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Haikuweza kuandika upya mabadiliko ya mti wa kazi","localConversation.syncWorktreeV2.partial.appliedLabel":"Imetumiwa","localConversation.syncWorktreeV2.partial.back":"Nyuma","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Suluhisha migogoro kisha ujaribu tena.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Migogoro","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {Faili #} other {Faili #}}","localConversation.syncWorktreeV2.partial.retry":"Jaribu tena","localConversation.syncWorktreeV2.partial.skippedLabel":"Imeruka","localConversation.syncWorktreeV2.stateFailed.generic":"Hitilafu imetokea wakati wa kupata mabadiliko ya mti wa kazi ili kupeana. Tafadhali jaribu tena.","localConversation.syncWorktreeV2.stateFailed.title":"Imeshindwa kupakia mabadiliko ya mti wa kazi","localConversation.syncWorktreeV2.statusError.diffUnknown":"Imeshindwa kupakia mabadiliko ya mti wa kazi.","localConversation.syncWorktreeV2.statusError.retry":"Jaribu tena","localConversation.syncWorktreeV2.statusError.title":"Haikuweza kupakia mabadiliko ya tawi la ndani","localConversation.syncWorktreeV2.statusError.unknown":"Hali ya tawi haipatikani sasa hivi. Jaribu tena.","localConversation.syncWorktreeV2.success.apply":"Imefaulu kutumia mabadiliko","localConversation.syncWorktreeV2.success.overwrite":"Upeanaji umefaulu","localConversation.syncWorktreeV2.title":"Peana mabadiliko","localConversation.syncWorktreeV2.worktreeLabel":"Mti wa kazi","localConversation.userInputRequest.inProgress":"Kuuliza {count, plural, one {swali} other {maswali}}","localConversation.userInputRequest.noAnswer":"Hakuna jibu lililotolewa","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Imeulizwa","localConversation.userInputRequest.summary.count":"{count, plural, one {Swali #} other {Maswali #}}","localConversation.workedFor":"Alifanya katika {time}","localConversation.worktreeBranchSetup.action.create":"Unda","localConversation.worktreeBranchSetup.branchAriaLabel":"Jina la tawi","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Unda tawi jipya","localConversation.worktreeBranchSetup.checkoutDisabled":"Tayari tawi hili limetolewa katika {location}","localConversation.worktreeBranchSetup.checkoutError":"Imeshindwa kutoa tawi: {message}","localConversation.worktreeBranchSetup.createBranchError":"Imeshindwa kuweka tawi: {message}","localConversation.worktreeBranchSetup.error":"Hitilafu imetokea: {message}","localConversation.worktreeBranchSetup.subtitle":"Unda tawi ili kutekeleza mabadiliko, kusukuma na kuunda PR kutoka kwa mti huu wa kazi. <a>Pata maelezo zaidi</a>","localConversation.worktreeBranchSetup.title":"Fanya kazi hapa","localConversationPage.addWorktreeToSidebar.tooltip":"Hifadhi kama mradi ili uweze kuanza mazungumzo mapya kutoka kwa mti huu wa kazi","localConversationPage.addWorktreeToSidebarError":"Imeshindwa kuongeza mradi","localConversationPage.commitAndCreatePrModal.errorTitle":"Kutekeleza na kuunda PR kumeshindikana","localConversationPage.commitAndCreatePrModal.successTitle":"Imetekeleza na kuunda PR","localConversationPage.commitAndPushModal.errorTitle":"Kutekeleza na kusukuma kumeshindikana","localConversationPage.commitAndPushModal.successTitle":"Imetekeleza na kusukuma mabadiliko","localConversationPage.commitCreatePr.open":"Fungua ombi la kuleta","localConversationPage.commitCreatePr.successTitle":"Imeunda PR kwa kutumia mabadiliko yako ya hivi karibuni","localConversationPage.createBranchButtonLabel":"Tengeneza tawi hapa","localConversationPage.createPrModal.baseBranch":"Msingi","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Unda PR","localConversationPage.createPrModal.createDescription":"Fungua ombi la kuleta kwa ajili ya mabadiliko yako ya hivi karibuni.","localConversationPage.createPrModal.errorTitle":"Ombi la kuleta limeshindikana","localConversationPage.createPrModal.headBranch":"Kichwa","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Fungua PR","localConversationPage.createPrModal.successTitle":"Ombi la kuleta limeundwa","localConversationPage.createPrModal.title":"Unda ombi la kuleta","localConversationPage.createPrModal.viewDescription":"Tayari ombi la kuleta lipo la tawi hili.","localConversationPage.createPrModal.viewTitle":"Ombi la kuleta lipo tayari","localConversationPage.createPullRequestAuthGh":"Halalisha GitHub CLI: endesha `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Maelezo ya tawi hayapatikani","localConversationPage.createPullRequestButtonLabel":"Unda PR","localConversationPage.createPullRequestButtonLabel.loading":"Inaunda PR…","localConversationPage.createPullRequestDefaultBranchMissing":"Maelezo ya tawi chaguomsingi hayapatikani","localConversationPage.createPullRequestError":"Imeshindakana kuunda ombi la kuleta","localConversationPage.createPullRequestExistingPullRequest":"Ombi la kuleta lipo tayari kwa tawi hili","localConversationPage.createPullRequestGhStatusMissing":"Inapakia hali ya GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Sakinisha GitHub CLI (gh) ili kuunda PR","localConversationPage.createPullRequestNoRepo":"Hakuna hazina ya git imepatikana","localConversationPage.createPullRequestPushStatusMissing":"Inapakia hali ya msukumo…","localConversationPage.createPullRequestSetUpstream":"Sukuma tawi hili kabla ya kuunda PR","localConversationPage.createPullRequestSuccessToast":"Ombi la kuleta limeundwa","localConversationPage.createPullRequestSwitchBranch":"Angalia tawi la kipengele kabla ya kuunda PR","localConversationPage.error.render":"Hitilafu katika kutoa mazungumzo ya ndani","localConversationPage.error.toast":"Mazungumzo hayajapatikana","localConversationPage.forcePushError":"Imeshindwa kulazimisha msukumo","localConversationPage.generatePullRequestMessageError":"Imeshindwa kuzalisha mwili na kichwa cha ombi la kuleta","localConversationPage.generatePullRequestMessageFailed":"Imeshindwa kuzalisha mwili na kichwa cha ombi la kuleta.","localConversationPage.gitActionResult.branch":"Tawi","localConversationPage.gitActionResult.cancel":"Ghairi","localConversationPage.gitActionResult.close":"Funga","localConversationPage.gitActionResult.tryAgain":"Jaribu tena","localConversationPage.gitActions":"Matendo ya git","localConversationPage.newChat":"Chati mpya","localConversationPage.openInTarget":"Fungua kwenye","localConversationPage.openPrimaryTarget":"Fungua","localConversationPage.planItemsCompleted":"{completedItems} kati ya {totalItems, plural, one {Shughuli # imekamilika} other {Shughuli # zimekamilishwa}}","localConversationPage.pushAuthError":"Msukumo umeshindikana: uthibitishaji unahitajika","localConversationPage.pushBranchMissing":"Maelezo ya tawi hayapatikani","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Inasukuma…","localConversationPage.pushError":"Imeshindwa kusukuma mabadiliko","localConversationPage.pushModal.branchLabel":"Tawi","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Ghairi","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"Sukuma vitekelezwa vyako vya hivi karibuni kwenye hazina ya mbali.","localConversationPage.pushModal.errorTitle":"Kusukuma kumeshindikana","localConversationPage.pushModal.forcePush":"Lazimisha kusukuma","localConversationPage.pushModal.successTitle":"Kusukuma kumekamilishwa","localConversationPage.pushModal.title":"Sukuma mabadiliko","localConversationPage.pushModal.tryAgain":"Jaribu tena","localConversationPage.pushNoUpstream":"Weka upitishaji kabla ya kusukuma tawi hili","localConversationPage.pushNoUpstreamError":"Msukumo umeshindikana: hakuna njia imesanidiwa","localConversationPage.pushNothingToPush":"Hakuna utekelezaji mpya wa kusukuma","localConversationPage.pushRemoteChangedError":"Msukumo umeshindikana: rimoti ina utekelezaji mpya","localConversationPage.pushRemoteRejectedError":"Msukumo umekataliwa na rimoti","localConversationPage.pushStatusMissing":"Inapakia hali ya msukumo…","localConversationPage.pushSuccessToast":"Mabadiliko yaliyosukumwa","localConversationPage.viewPullRequestButtonLabel":"Tazama PR","localConversationPage.viewPullRequestButtonLabel.loading":"Inaleta ombi la kuleta…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {Faili #} other {Faili #}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {#Orodha} other {#Orodha}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {Utafutaji #} other {Utafutaji #}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Kugundua","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Imegunduliwa","localConversationTurn.exploration.accordion.header.complete.withCounts":"Imegundua {counts}","localConversationTurnStory.showContent":"Onyesha maudhui","localConversationTurnStory.streamContent":"Tiririsha maudhui","localConversationTurnStory.toggleReasoning":"Onyesha uwazaji","localTaskRow.archiveError":"Imeshindwa kuhifadhi mazungumzo kwenye kumbukumbu","localTaskRow.resumeError":"Haikuweza kurejelea shughuli","mermaidDiagram.ariaLabel":"Mchoro wa Nguva","mermaidDiagram.copySource":"Nakili mermaid","mermaidDiagram.originalCode":"Hali ya chanzo cha nguva","notifications.permissions.description":"Onyesha arifa wakati vibali vya taarifa vinahitajika","notifications.permissions.label":"Wezesha taarifa za kibali","notifications.turnMode.always":"Wakati wote","notifications.turnMode.description":"Weka wakati Codex inakuarifu kuwa imekamilisha","notifications.turnMode.label":"Washa taarifa za ukamilishaji","notifications.turnMode.off":"Kamwe","notifications.turnMode.unfocused":"Wakati inaangaziwa pekee","patchApprovalRequest.approve":"Idhinisha","patchApprovalRequest.menu.allowAlways":"Ndiyo, na usiulize tena katika kipindi hiki","patchApprovalRequest.menu.allowForSession":"Ndiyo, na usiulize tena katika kipindi hiki","patchApprovalRequest.menu.allowOnce":"Ndiyo","patchApprovalRequest.prompt":"Je, unataka kufanya mabadiliko haya?","patchApprovalRequest.reject":"Hapana","patchApprovalRequest.waitingForApproval":"Kusubiri idhini ya kuhariri faili","pendingRequest.approvalExec.collapse":"Kunja","pendingRequest.approvalExec.expand":"Panua","pendingRequestStory.toastAnswer":"Jibu: {answer}","pendingRequestStory.toastApprovalTitle":"Jibu la kuidhinisha","pendingRequestStory.toastFollowupPrompt":"Dokezo: {prompt}","pendingRequestStory.toastFollowupTitle":"Ufuatilizi umetumwa","pendingRequestStory.toastNoAnswers":"Hakuna majibu yaliyotolewa","pendingRequestStory.toastQuestion":"Swali: {question}","pendingRequestStory.toastUnknownDecision":"Haijulikani","pendingRequestStory.toastUserInputTitle":"Majibu yaliyowasilishwa","quickAction.request.codeReview.branches.new":"Tafadhali hakiki mabadiliko kwenye {from} dhidi ya {to}","quickAction.request.codeReview.uncommitted.new":"Tafadhali hakiki mabadiliko yoyote ambayo hayajatekelezwa","reasoningItem.thinking":"Kufikiria","reasoningItem.thought":"Mawazo","reasoningItem.thoughtWithElapsed":"Wazo la {elapsed}","recentConversations.title":"Mazungumzo ya hivi karibuni","recentTasks.worktreeInitFailedTitle":"Ya ndani ya mti wa kazi imeshindikana","recentTasks.worktreeSettingUpTitle":"Kusanidi mti wa kazi","requestInputPanel.continue":"Endelea","requestInputPanel.dismiss":"Funga","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Andika hapa","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Hapana, na uambie Codex cha kufanya moja kwa moja","requestInputPanel.selectedBadge":"Iliyochaguliwa","requestInputPanel.skip":"Ruka","requestInputPanel.submit":"Wasilisha","review.commit.ariaLabel.includeUnstaged":"Jumuisha ambayo hayajapangwa","review.commit.buttonLabel":"Jitolee","review.commit.disabled.committing":"Inatekeleza...","review.commit.disabled.loadingDiff":"Inapakia tofauti…","review.commit.disabled.missingContext":"Ongeza muktadha kiasi ili kuzalisha ujumbe wa kutekeleza","review.commit.disabled.noChanges":"Hakuna mabadiliko ya kutekeleza","review.commit.disabled.noSelection":"Chagua mabadiliko ya kutekeleza","review.commit.disabled.unavailable":"Utekelezaji haupatikani sasa hivi","review.commit.error":"Imeshindwa kutekeleza mabadiliko","review.commit.form.changesToBeCommitted":"Mabadiliko","review.commit.form.commitTo":"Tawi","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Endelea","review.commit.form.title":"Tekeleza mabadiliko yako","review.commit.generate.emptyResponse":"Haikuweza kuzalisha ujumbe wa kutekeleza.","review.commit.generate.failed":"Haikuweza kuzalisha ujumbe wa kutekeleza: {error}","review.commit.generate.missingPrompt":"Ongeza muktadha kiasi ili kuzalisha ujumbe wa kutekeleza.","review.commit.includeUnstaged":"Jumuisha ambayo hayajapangwa","review.commit.loading.description":"Subiri, hii inaweza kuchukua muda mfupi…","review.commit.loading.step.commit.done":"Mabadiliko yanayotekelezwa","review.commit.loading.step.commit.pending":"Kutekeleza mabadiliko","review.commit.loading.step.createPr.done":"Imeunda ombi la kuleta","review.commit.loading.step.createPr.pending":"Kuunda ombi la kuleta","review.commit.loading.step.push.done":"Imesukuma kwa tawi la {branch}","review.commit.loading.step.push.pending":"Inasukuma kwa tawi la {branch}","review.commit.loading.title.commit":"Kutekeleza mabadiliko","review.commit.loading.title.createPr":"Kuunda PR","review.commit.loading.title.push":"Kusukuma mabadiliko","review.commit.messageLabel":"Tuma ujumbe","review.commit.messagePlaceholder":"Acha tupu ili kuzalisha kiotomatiki ujumbe wa kuweka","review.commit.nextSteps":"Hatua zinazofuata","review.commit.nextSteps.commit":"Jitolee","review.commit.nextSteps.commitAndCreate":"Tekeleza na uunde PR","review.commit.nextSteps.commitAndPush":"Tekeleza na usukume","review.commit.nextSteps.prRequiresGh":"Huhitaji GitHub CLI: {command}","review.commit.rows.changes":"Mabadiliko","review.commit.rows.commitCount":"{count, plural, one {Utekelezaji #} other {Utekelezaji #}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {Utekelezaji #} other {Utekelezaji #}} na {stats}","review.commit.rows.fileCount":"{count, plural, one {Faili #} other {Faili #}}","review.commit.state.error.body":"Hitilafu imetokea wakati wa kutekeleza. Angalia hali yako ya git kisha ujaribu tena.","review.commit.state.error.title":"Kutekeleza kumeshindikana","review.commit.state.success.title":"Mabadiliko yametekelezwa","review.commit.untracked.loadingStats":"Inapakia takwimu za diff ambazo hazijafuatiliwa…","reviewFindingAttachments.count":"{count, plural, one {Matokeo #} other {Matokeo #}}","settings.agent.configuration.configToml":"yako ya","settings.agent.configuration.configToml.description":"Hariri usabidi wako ili kubinafsisha tabia ya wakala","settings.agent.configuration.configToml.docs":"Hati","settings.agent.configuration.configToml.restartNote":"Anzisha Codex upya baada ya kuhariri ili kutekeleza mabadiliko","settings.agent.configuration.subtitle":"Mipangilio hii inatumika popote Codex inatumiwa","settings.automations.banner.danger":"Otomatiki huendeshwa na mipangilio yako chaguomsingi ya sandbox, ambayo kwa sasa imewekwa kwa Ufikiaji Kamili. Kuendesha otomatiki za chinichini kwa Ufikiaji Kamili kuna hatari kubwa, kwani Codex inaweza kurekebisha faili, kuendesha amri, na kufikia mtandao bila kuuliza. Fikiria kusasisha mipangilio ya sandbox hadi uandishi wa eneo la kazi, na kutumia <rulesDocsLink>sheria</rulesDocsLink> ili kubainisha ni amri zipi ambazo wakala anaweza kuendesha kwa ufikiaji kamili.","settings.automations.banner.defaultHowTo.default":"Otomatiki huendeshwa na mipangilio yako chaguo-msingi ya sandbox. Uitaji wa zana utashindikana ikiwa unahitaji kurekebisha faili nje ya eneo la kazi, kufikia mtandao, au kufanya kazi na programu kwenye kompyuta yako. Unaweza kuruhusu amri maalum kuendeshwa nje ya sandbox kwa kutumia <rulesDocsLink>sheria</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Otomatiki huendeshwa na mipangilio yako chaguo-msingi ya sandbox, ambayo imewekwa kuwa ya kusoma pekee. Uitaji wa zana utashindikana ikiwa unahitaji kurekebisha faili, kufikia mtandao, au kufanya kazi na programu kwenye kompyuta yako. Fikiria kusasisha mipangilio ya sandbox hadi uandishi wa eneo la kazi.","settings.automations.cancel":"Ghairi","settings.automations.create":"Unda","settings.automations.cwdEmpty":"Hakuna folda za mradi zinazopatikana","settings.automations.cwdLabel":"Miradi","settings.automations.cwdPlaceholder":"Chagua folda","settings.automations.cwdSubtitle":"Ikiwa unataka otomatiki kuendeshwa kwenye tawi mahususi, unaweza kuibainisha kwenye dokezo lako.","settings.automations.delete":"Futa","settings.automations.dialog.editTitle":"Hariri ufanyaji upya otomatiki","settings.automations.dialog.newTitle":"Ufanyaji otomatiki mpya","settings.automations.dialog.subtitle":"Endesha kazi zinazojirudia kiotomatiki kwenye usuli. Codex huongeza matokeo kwenye kisanduku pokezi, au huhifadhi kazi kwenye kumbukumbu kiotomatiki ikiwa hakuna cha kuripoti. <learnMoreLink>Pata maelezo zaidi</learnMoreLink>","settings.automations.dialog.title":"Unda ufanyaji otomatiki","settings.automations.executionCopy.git":"Otomatiki huendeshwa kwenye usuli kwenye miti ya kazi iliyotengwa.","settings.automations.executionCopy.nonGit":"Otomatiki katika miradi isiyodhibitiwa na matoleo huendeshwa moja kwa moja kwenye saraka ya mradi. Zingatia kutumia Git ili kuwezesha kuendesha kwenye miti ya kazi ya chinichini.","settings.automations.executionEnvironment.local":"Eneo","settings.automations.executionEnvironment.worktree":"Mti wa kazi","settings.automations.loading":"Inapakia...","settings.automations.nameLabel":"Jina","settings.automations.namePlaceholder":"Angalia masuala ya sentry","settings.automations.pause":"Sitisha","settings.automations.promptLabel":"Dokezo","settings.automations.promptPlaceholder":"angalia ajali katika $Sentry","settings.automations.resume":"Rejea","settings.automations.rruleSummaryFallback":"Ratiba Maalum","settings.automations.runNow":"Jaribu","settings.automations.save":"Hifadhi","settings.automations.scheduleBadge.dayCount":"siku {count}","settings.automations.scheduleBadge.interval":"saa {count}","settings.automations.scheduleBadge.weekdays":"Siku za wiki","settings.automations.scheduleBadge.weekends":"Wikendi","settings.automations.scheduleHeader":"Ratiba","settings.automations.scheduleHours":"saa","settings.automations.scheduleLabel":"Kimbia kila","settings.automations.scheduleMode.daily":"Kila siku","settings.automations.scheduleMode.interval":"Kipindi","settings.automations.scheduleModeLabel":"Aina ya ratiba","settings.automations.scheduleSummary.daily":"Kila siku katika {time}","settings.automations.scheduleSummary.interval":"Kila saa {count}","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {Siku #} other {Siku #}}","settings.automations.scheduleSummary.intervalDays":"{interval} kwenye {days}","settings.automations.scheduleSummary.intervalHourly":"Kila saa","settings.automations.scheduleSummary.singleDay":"{day} katika {time}","settings.automations.scheduleSummary.weekdays":"Siku za wiki katika {time}","settings.automations.scheduleSummary.weekdaysLabel":"siku za wiki","settings.automations.scheduleSummary.weekends":"Wikendi katika {time}","settings.automations.scheduleSummary.weekendsLabel":"wikendi","settings.automations.scheduleSummary.weekly":"{days} katika {time}","settings.automations.scheduleWeekdays":"Imewashwa","settings.automations.weekdayState.excluded":"Haijajumuishwa","settings.automations.weekdayState.included":"Imejumuishwa","settings.conversationDetail.steps":"Hatua","settings.conversationDetail.steps.description":"Ficha amri na vitolewa","settings.conversationDetail.stepsWithCommands":"Hatua kwa amri za msimbo","settings.conversationDetail.stepsWithCommands.description":"Onyesha amri, kunja kitolewa","settings.conversationDetail.stepsWithOutput":"Hatua kwa kitolewa cha msimbo","settings.conversationDetail.stepsWithOutput.description":"Onyesha amri na upanue kitolewa","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Hakuna chati zilizohifadhiwa kwenye kumbukumbu.","settings.dataControls.archivedChats.error":"Haikuweza kupakia chati zilizohifadhiwa kwenye kumbukumbu.","settings.dataControls.archivedChats.loading":"Inapakia chati zilizohifadhiwa kwenye kumbukumbu…","settings.dataControls.archivedChats.unarchive":"Ondoa kwenye kumbukumbu","settings.dataControls.archivedChats.unarchiveError":"Imeshindwa kuondoa chati kwenye hifadhi ya kumbukumbu","settings.dataControls.archivedChats.unarchiveSuccess":"Tukio ambalo halijahifadhiwa kwenye kumbukumbu. <viewNowLink>Tazama sasa</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Mazungumzo yameondolewa kwenye kumbukumbu.","settings.dataControls.archivedChats.untitled":"Chati isio na kichwa","settings.dataControls.archivedChats.viewNow":"Tazama sasa","settings.editRow.headerPlaceholder":"Ufunguo","settings.editRow.removeEntry":"Ondoa ingizo","settings.editRow.valuePlaceholder":"Value","settings.general.appearance":"Mwonekano","settings.general.appearance.codeFont":"Mwandiko wa msimbo","settings.general.appearance.codeFont.description":"Rekebisha mwandiko na ukubwa unaotumiwa kwa msimbo kwenye chati na tofauti","settings.general.appearance.codeFontFamily":"Code font family","settings.general.appearance.codeFontSize":"Ukubwa wa mwandiko wa kusimba","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Fanya madirisha yatumie mandharinyuma thabiti badala ya uwazi wa nusu wa mfumo","settings.general.appearance.opaqueWindows.label":"Tumia mandharinyuma ya dirisha isiyo na uwazi","settings.general.appearance.sansFontFamily":"Code font family","settings.general.appearance.sansFontFamily.description":"Rekebisha mwandiko uliotumiwa kwa Codex UI","settings.general.appearance.sansFontSize":"Ukubwa wa fonti ya Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Onyesha athari za sherehe ya dirisha kamili wakati GPT-5.3-Codex-Spark inaendesha mgeuko wa kwanza","settings.general.appearance.sparkCelebrationEffects.label":"Athari za sherehe za cheche","settings.general.appearance.theme":"Mada","settings.general.appearance.theme.dark":"Giza","settings.general.appearance.theme.description":"Tumia angavu, giza au linganisha mfumo wako","settings.general.appearance.theme.light":"Mwanga","settings.general.appearance.theme.system":"Mfumo","settings.general.appearance.usePointerCursors.description":"Badilisha kishale kuwa kielekezi unapoelea juu ya vipengele shirikishi","settings.general.appearance.usePointerCursors.label":"Tumia vishale vya kielekezi","settings.general.enterBehavior.description":"Inapowezeshwa, vidokezo vingi vinahitaji {modifierSymbol} + enter ili kutuma.","settings.general.enterBehavior.label":"Hitaji {modifierSymbol} + enter ili kutuma vidokezo virefu","settings.general.experimentalFeatures":"Vipengele vya majaribio (Beta)","settings.general.experimentalFeatures.empty":"Hakuna vipengele vya majaribio vya beta vinapatikana.","settings.general.experimentalFeatures.loading":"Inapakia vipengele vya majaribio…","settings.general.experimentalFeatures.restartNote":"Anzisha upya Codex ili kutumia mabadiliko ya kipengele cha jaribio","settings.general.experimentalFeatures.toggle":"Geuza {featureName}","settings.general.followUpQueueMode.description":"Panga ufuatilizi wakati Codex inaendesha au kuelekeza uendeshaji wa sasa. Bonyeza {invertFollowUpShortcutLabel} ili kufanya kinyume kwa ujumbe mmoja.","settings.general.followUpQueueMode.interrupt":"Elekeza","settings.general.followUpQueueMode.label":"Tabia ya kufuatilia","settings.general.followUpQueueMode.queue":"Panga","settings.general.notifications":"Taarifa","settings.general.power.preventSleepWhileRunning.description":"Weka kampuni yako ikiwa imewaka wakati Codex inaendesha tukio.","settings.general.power.preventSleepWhileRunning.label":"Zuia kulala wakati wa kuendesha","settings.git.branchPrefix.ariaLabel":"Kiambishi awali cha tawi","settings.git.branchPrefix.description":"Kiambishi awali kilichotumiwa wakati wa kuunda matawi mpya kwenye Codex","settings.git.branchPrefix.label":"Kiambishi awali cha tawi","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Imeshindwa kuhifadhi kiambishi awali cha tawi","settings.git.branchPrefix.save.success":"Kiambishi awali cha tawi kilichohifadhiwa","settings.git.commitInstructions.ariaLabel":"Tekeleza maagizo","settings.git.commitInstructions.description":"Imeongezwa kwenye vidokezo vya uzalishaji wa ujumbe wa kutekeleza","settings.git.commitInstructions.label":"Maagizo ya kutekeleza","settings.git.commitInstructions.placeholder":"Ongeza mwongozo wa ujumbe wa kutekeleza…","settings.git.commitInstructions.save":"Hifadhi","settings.git.commitInstructions.save.error":"Imeshindwa kuhifadhi maagizo ya kutekeleza","settings.git.commitInstructions.save.success":"Imehifadhi maagizo ya kutekeleza","settings.git.forcePush.ariaLabel":"Lazimisha msukumo kila wakati","settings.git.forcePush.description":"Tumia --force-with-lease wakati wa kusukuma kutoka kwa Codex","settings.git.forcePush.label":"Lazimisha msukumo kila wakati","settings.git.forcePush.save.disabled":"Lazimisha msukumo kila wakati imelemazwa","settings.git.forcePush.save.enabled":"Lazimisha msukumo kila wakati imewezeshwa","settings.git.forcePush.save.error":"Imeshindwa kuhifadhi mpangilio wa kulazimisha msukumo","settings.git.prInstructions.ariaLabel":"Maagizo ya ombi la kuleta","settings.git.prInstructions.description":"Imeongezwa ili kuleta mwili wa ombi ulioundwa na Codex","settings.git.prInstructions.label":"Maagizo ya ombi la kuleta","settings.git.prInstructions.placeholder":"Ongeza mwongozo wa ombi la kuleta…","settings.git.prInstructions.save":"Hifadhi","settings.git.prInstructions.save.error":"Imeshindwa kuhifadhi maagizo ya ombi la kuleta","settings.git.prInstructions.save.success":"Imehifadhi maagizo ya ombi la kuleta","settings.ide.defaultOpenTarget.description":"Ambapo faili na fiolda zinafunguka kwa chaguomsingi","settings.ide.defaultOpenTarget.label":"Mwisho wa safari wazi chaguomsingi","settings.ide.defaultOpenTarget.placeholder":"Hakuna malengo yamepatikana","settings.ide.language.auto":"Gundua Kiotomatiki","settings.ide.language.autoOption":"Gundua Kiotomatiki","settings.ide.language.description":"Lugha ya UI ya programu","settings.ide.language.label":"Lugha","settings.ide.language.search":"Tafuta lugha","settings.layout.actionButton":"Anza upya mkondo","settings.layout.actionTitle":"Mipangio kwa kitendo","settings.layout.fullWidthTitle":"Mipangilio (Upana kamili)","settings.layout.title":"Mipangilio","settings.localEnvironments.actions.add":"Ongeza hatua","settings.localEnvironments.actions.add.description":"Unda amri mpya ili kuendesha kutoka kwenye upau wa zana.","settings.localEnvironments.actions.add.save":"Hifadhi","settings.localEnvironments.actions.empty":"Ongeza hatua ili kuendesha amri kutoka kwenye upau wa zana wa ndani.","settings.localEnvironments.actions.icon.debug":"Tatua","settings.localEnvironments.actions.icon.run":"Run","settings.localEnvironments.actions.icon.test":"Jaribu","settings.localEnvironments.actions.icon.tool":"Zana","settings.localEnvironments.actions.item.button.delete":"Futa","settings.localEnvironments.actions.item.command":"Nukuu ya hatua","settings.localEnvironments.actions.item.name":"Jina","settings.localEnvironments.actions.item.platforms":"Majukwaa","settings.localEnvironments.actions.item.platforms.help":"Endesha kwenye OS mahususi pekee.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Uchaguzi wa jukwaa","settings.localEnvironments.actions.item.platforms.specific":"Mahususi kwa jukwaa","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Futa","settings.localEnvironments.actions.title":"Vitendo","settings.localEnvironments.breadcrumb.back":"Nyuma","settings.localEnvironments.breadcrumb.edit":"hariri","settings.localEnvironments.breadcrumb.root":"Mazingira","settings.localEnvironments.environment.actions.description":"Hatua hizi zinaweza kuendesha amri yoyote na zitaonyeshwa kwenye kichwa.","settings.localEnvironments.environment.actionsLabel":"Vitendo","settings.localEnvironments.environment.create":"Unda mazingira ya eneo","settings.localEnvironments.environment.defaultName":"eneo","settings.localEnvironments.environment.edit":"Hariri mazingira ya ndani","settings.localEnvironments.environment.empty":"Hakuna mazingira ya ndani yaliyosanidiwa kwa mradi huu bado.","settings.localEnvironments.environment.name":"Jina","settings.localEnvironments.environment.setup":"Sanidi nukuu","settings.localEnvironments.environment.setup.description":"Nukuu litaendeshwa kwenye uundaji wa mti wa kazi.","settings.localEnvironments.environment.setup.hint":"Huendeshwa kwenye mzizi wa mradi.","settings.localEnvironments.environment.setup.platformOverrides":"Kuondoa jukwaa","settings.localEnvironments.environment.setup.platformOverrides.add":"Ongeza nukuu {platform} ya usanidi","settings.localEnvironments.environment.setup.platformOverrides.description":"Huondoa nukuu chaguomsingi kwa OS mahususi.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Ondoa","settings.localEnvironments.environment.setup.script":"Nukuu","settings.localEnvironments.environment.title":"Maelezo ya mazingira","settings.localEnvironments.file.missing":"Hifadhi ili kuunda faili hii kwa mara ya kwanza.","settings.localEnvironments.file.parseError":"Haikuweza kufungua faili zilizopo. Kuhifadhi kutaiondoa. ({error})","settings.localEnvironments.file.path":"Faili: {path}","settings.localEnvironments.file.readError":"Imeshindwa kupakia data ya mazingira ya eneo. ({error})","settings.localEnvironments.file.title":"Faili ya mazingira ya ndani","settings.localEnvironments.loading.body":"Inapata usanidi wa mradi wako.","settings.localEnvironments.loading.title":"Inapakia mazingira ya ndani","settings.localEnvironments.preview.devOnly":"(DEV pekee)","settings.localEnvironments.preview.save":"Hifadhi","settings.localEnvironments.preview.saveError":"Imeshindwa kuhifadhi faili. ({error})","settings.localEnvironments.preview.title":"Onyesha awali","settings.localEnvironments.save.disabled.name":"Ongeza jina la mazingira ili kuhifadhi.","settings.localEnvironments.save.disabled.noChanges":"Hakuna mabadiliko ya kuhifadhi.","settings.localEnvironments.save.disabled.saving":"Inahifadhi...","settings.localEnvironments.save.success":"Mazingira ya ndani yaliyohifadhiwa","settings.localEnvironments.unavailable.body":"Hatukuweza kupakia mipangilio ya mazingira ya ndani kwa mradi huu.","settings.localEnvironments.unavailable.title":"Mazingira ya ndani hayapatikani","settings.localEnvironments.workspace.add":"Ongeza mradi","settings.localEnvironments.workspace.title":"Mradi","settings.localEnvironments.workspaceSelect.addLabel":"Ongeza mazingira","settings.localEnvironments.workspaceSelect.description":"Mazingira ya ndani yanaambia Codex jinsi ya kusanidi miti ya kazi kwa mradi. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Bado hakuna miradi. Ongeza mmoja ili kusanidi mazingira ya ndani.","settings.localEnvironments.workspaceSelect.errorLabel":"Mazingira yanahitaji umakini","settings.localEnvironments.workspaceSelect.learnMore":"Pata maelezo zaidi","settings.localEnvironments.workspaceSelect.listLabel":"Miradi inayopatikana","settings.localEnvironments.workspaceSelect.loading":"Kupakia miradi.","settings.localEnvironments.workspaceSelect.loadingLabel":"Kupakia mazingira","settings.localEnvironments.workspaceSelect.title":"Chagua mradi","settings.localEnvironments.workspaceSelect.viewAction":"Tazama","settings.mcp.addServer":"Ongeza seva","settings.mcp.app.configure":"Sanidi","settings.mcp.app.connect":"Unganisha","settings.mcp.apps.refresh":"Sasisha","settings.mcp.detail.addArgument":"Ongeza majadiliano","settings.mcp.detail.addEnvVar":"Ongeza vigeukaji vya mazingira","settings.mcp.detail.addEnvVarPassthrough":"Ongeza kigeukaji","settings.mcp.detail.args":"Hoja","settings.mcp.detail.back":"Nyuma","settings.mcp.detail.command":"Amrisha ili kuzindua","settings.mcp.detail.cwd":"Orodha ya kufanya kazi","settings.mcp.detail.docs":"Fungua hati ya MCP","settings.mcp.detail.docs.link":"Hati","settings.mcp.detail.envVarPassthrough":"Upitaji wa vigeugeu vya mazingira","settings.mcp.detail.envVars":"Vigeukaji vya mazingira","settings.mcp.detail.http.addEnvHeader":"Ongeza kigeukaji","settings.mcp.detail.http.addHeader":"Ongeza kichwa","settings.mcp.detail.http.bearerToken":"Env var ya tokeni ya mbebaji","settings.mcp.detail.http.envHeaders":"Vichwa kutoka kwa vigeukaji vya mazingira","settings.mcp.detail.http.headers":"Vichwa","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Jina","settings.mcp.detail.save":"Hifadhi","settings.mcp.detail.switchTransportNotice":"Ikiwa ungependa kubadilisha aina ya seva ya MCP, tafadhali sakinusha kwanza.","settings.mcp.detail.titleExisting":"Sasisha MCP ya {name}","settings.mcp.detail.titleNew":"Unganisha kwenye MCP maalum","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Sakinusha","settings.mcp.empty":"Hakuna seva za MCP maalum zimeunganishwa","settings.mcp.myServers":"Seva maalum","settings.mcp.partnerServer.description.figma":"Zalisha msimbo bora zaidi kwa kuleta kikamilifu muktadha wa Figma","settings.mcp.partnerServer.description.github":"Jumuisha na API za GitHub ili kufanya otomatiki mitiririko ya kazi na kuchopoa data","settings.mcp.partnerServer.description.linear":"Jumlisha na ufuatilizi wa tatizo la Linear na udhibiti wa mradi","settings.mcp.partnerServer.description.notion":"Soma hati, sasisha kurasa, dhibiti shughuli","settings.mcp.partnerServer.description.playwright":"Jumlisha ufanyaji otomatiki wa kivinjari ili kutekeleza ubunifu na kujaribu UI.","settings.mcp.partnerServer.install":"Sakinisha","settings.mcp.partnerServer.installAndAuthenticate":"Sakinisha na uhalalishe","settings.mcp.partnerServer.logoAlt":"Nembo ya {label}","settings.mcp.partnerServer.manage":"Dhibiti","settings.mcp.partnerServer.vendor":"imetayarishwa na {vendor}","settings.mcp.recommendedServers":"Seva zinazopendekezwa","settings.mcp.restartApp":"Anzisha upya","settings.mcp.restartExtension":"Anza upya mkondo","settings.mcp.server.enable":"Wezesha","settings.mcp.server.login":"Halalisha","settings.mcp.server.settings":"Mipangilio","settings.multiselect.createOption":'Unda "{value}"',"settings.multiselect.removeOption":"Ondoa","settings.nav.account":"Akaunti","settings.nav.agent":"Uwekaji Mipangilio","settings.nav.ariaLabel":"Mipangilio","settings.nav.back":"Rudi kwenye programu","settings.nav.data-controls":"Matukio yaliyohifadhiwa kwenye kumbukumbu","settings.nav.environments":"Mazingira ya Wingu","settings.nav.externalTooltip":"[alpha] Hufunguka kwenye kivinjari","settings.nav.general-settings":"Kawaida","settings.nav.git-settings":"Git","settings.nav.local-environments":"Mazingira","settings.nav.mcp-settings":"Seva za MCP","settings.nav.notImplemented":"[alpha] Haipatikani kwenye Alpha","settings.nav.personalization":"Ubinafsishaji","settings.nav.skills-settings":"Ujuzi","settings.nav.usage-analytics":"Matumizi na Uchambuzi","settings.nav.worktrees":"Miti ya kazi","settings.openSourceLicenses.back":"Nyuma","settings.openSourceLicenses.loading":"Inapakia...","settings.openSourceLicenses.missing":"Hakuna notisi za wahusika wengine zilizopatikana.","settings.openSourceLicenses.notSupported":"Haipatikani kwenye mpangishi huyu.","settings.openSourceLicenses.rowDescription":"Notisi za wahusika wengine kwa utegemezi uliounganishwa","settings.openSourceLicenses.rowLabel":"Leseni za chanzo huria","settings.openSourceLicenses.subtitle":"Notisi za wahusika wengine kwa vitegemezi vilivyojumuishwa","settings.openSourceLicenses.title":"Leseni za chanzo huria","settings.openSourceLicenses.view":"Tazama","settings.personalization.agents.description":"Hariri maagizo ambayo yanabinafsisha Codex kwa ajili yako. {learnMore}","settings.personalization.agents.learnMore":"Pata maelezo zaidi","settings.personalization.agents.loadError":"Haikuweza kupakia agents.md.","settings.personalization.agents.loading":"Inapakia agents.md…","settings.personalization.agents.placeholder":"Ongeza maagizo maalum yako…","settings.personalization.agents.retry":"Jaribu tena","settings.personalization.agents.save":"Hifadhi","settings.personalization.agents.save.error":"Haikuweza kuhifadhi agents.md","settings.personalization.agents.save.success":"Agents.md zilizohifadhiwa","settings.personalization.agents.title":"Maagizo maalum","settings.personalization.personality.description":"Chagua toni chaguomsingi ya majibu ya Codex","settings.personalization.personality.label":"Haiba","settings.sample.contentBody":"Tumia ruwaza hii ili kuandika paneli ya mipangilio yako kwa uwekaji nafasi unaoambatana.","settings.sample.contentTitle":"Jaribu rundo ya maudhui","settings.section.account":"Akaunti","settings.section.agent":"Uwekaji Mipangilio","settings.section.data-controls":"Matukio yaliyohifadhiwa kwenye kumbukumbu","settings.section.environments":"Mazingira ya Wingu","settings.section.external":"Hufunguka kwenye kivinjari chako wakati wa Alpha","settings.section.general-settings":"Kawaida","settings.section.git-settings":"Git","settings.section.local-environments":"Mazingira","settings.section.mcp-settings":"Seva za MCP","settings.section.mcp-settings.docs":"Hati","settings.section.mcp-settings.subtitle":"Unganisha zana za nje na vyanzo vya data.","settings.section.personalization":"Ubinafsishaji","settings.section.skills-settings":"Ujuzi","settings.section.unavailable":"Bado haipatikani kwenye Alpha","settings.section.usage-analytics":"Matumizi na Uchambuzi","settings.section.worktrees":"Miti ya kazi","settings.threadDetail.description":"Chagua kiwango cha kitolewa cha amri cha kuonyesha kwenye matukio","settings.threadDetail.label":"Maelezo ya tukio","settings.worktrees.conversation.untitled":"Mazungumzo yasiyo na kichwa","settings.worktrees.delete.error":"Imeshindwa kufuta mti wa kazi","settings.worktrees.empty.body":"Miti ya kazi iliyoundwa na Codex itatokea hapa.","settings.worktrees.empty.title":"Bado hakuna miti ya kazi","settings.worktrees.error.body":"Hitilafu imetokea wakati wa kupakia miti ya kazi.","settings.worktrees.error.retry":"Jaribu tena","settings.worktrees.error.title":"Haikuweza kupakia miti ya kazi","settings.worktrees.loading.body":"Kuleta maelezo ya mti wa kazi","settings.worktrees.loading.title":"Inapakia miti ya kazi","settings.worktrees.repository.loading":"Inapakia metadata ya hazina…","settings.worktrees.repository.unknown":"Hazina isiyojulikana","settings.worktrees.row.conversations":"Mazungumzo","settings.worktrees.row.conversations.empty":"Hakuna mazungumzo yameunganishwa na mti huu wa kazi.","settings.worktrees.row.conversations.loading":"Inapakia mazungumzo…","settings.worktrees.row.delete":"Futa","settings.worktrees.row.title":"Mti wa kazi","sidebarElectron.addWorkspaceRoot":"Ongeza mradi mpya","sidebarElectron.archiveThread":"Hifadhi kwenye kumbukumbu","sidebarElectron.archiveThreadError":"Imeshindwa kuhifadhi matukio kwenye kumbukumbu","sidebarElectron.collapseFolder":"Kunja folda","sidebarElectron.createStableWorktree.dialog.cancel":"Ghairi","sidebarElectron.createStableWorktree.dialog.create":"Unda","sidebarElectron.debugNavLink":"Tatua","sidebarElectron.editWorkspaceRootOptionName":"Hariri jina","sidebarElectron.expandFolder":"Panua folda","sidebarElectron.groupByMenu.recency":"Orodha ya kronolojia","sidebarElectron.groupByMenu.title":"Panga","sidebarElectron.groupByMenu.workspace":"Na mradi","sidebarElectron.inboxRouteNavLink":"Ufanyaji otomatiki","sidebarElectron.markThreadUnread":"Weka alama kama ambayo haijasomwa","sidebarElectron.missingWorkspaceRoot":"Folda ya mradi huu imefutwa au kuondolewa","sidebarElectron.newThread":"Tukio lipya","sidebarElectron.newThreadInGroup":"Anza tukio jipya kwenye {folder}","sidebarElectron.noRecentThreads":"Hakuna matukio ya hivi karibuni","sidebarElectron.noTasks":"Hakuna matukio","sidebarElectron.noTasks.start":"Ongeza mradi mpya","sidebarElectron.noTasksWithFilter":"Hakuna matukio yanalingana na vichujio","sidebarElectron.pinnedThreads":"Matukio yaliyobanwa","sidebarElectron.recentNavLink":"Matukio","sidebarElectron.recentThreads":"Matukio ya hivi karibuni","sidebarElectron.removeWorkspaceRootOption":"Ondoa","sidebarElectron.renameThread":"Badilisha jina la tukio","sidebarElectron.renameThreadDialogAriaLabel":"Kichwa cha tukio","sidebarElectron.renameThreadDialogCancel":"Ghairi","sidebarElectron.renameThreadDialogPlaceholder":"Ongeza kichwa…","sidebarElectron.renameThreadDialogSave":"Hifadhi","sidebarElectron.renameThreadDialogSubtitle":"Acha iwe fupi na inayoweza kutambuliwa.","sidebarElectron.renameThreadDialogTitle":"Badilisha jina la tukio","sidebarElectron.renameThreadError":"Imeshindwa kubadilisha jina la tukio","sidebarElectron.renameWorkspaceRootOptionLabel":"Onyesha jina","sidebarElectron.showLess":"Onyesha kidogo","sidebarElectron.showMenu.all":"Matukio yote","sidebarElectron.showMenu.relevant":"Husika","sidebarElectron.showMenu.relevantHint":"Onyesha tu nyuzi za hivi karibuni za tawi la sasa, miti ya kazi, au nyuzi nyingine zinazohitaji uangalifu wako","sidebarElectron.showMenu.title":"Onyesha","sidebarElectron.showMenu.tooltip":"Chuja, panga na uratibu matukio","sidebarElectron.showMenu.trigger":"Chuja matukio ya upau wa upande","sidebarElectron.showMore":"Onyesha zaidi","sidebarElectron.skillsRouteNavLink":"Ujuzi","sidebarElectron.sortMenu.created":"Imeundwa","sidebarElectron.sortMenu.title":"Panga kwa","sidebarElectron.sortMenu.updated":"Imesasishwa","sidebarElectron.taskNavigation":"Folda za ufanyaji otomatiki","sidebarElectron.tasksInFolder":"Ufanyaji otomatiki katika {folder}","sidebarElectron.workspaceOptions":"Hatua za mradi za {folder}","sidebarElectron.worktreeGroupTooltip":"Huu ni mti wa kazi wa git","skills.appsPage.createSkill":"Ujuzi mpya","skills.appsPage.empty.skills":"Hakuna ujuzi umepatikana","skills.appsPage.search.skills":"Tafuta ujuzi","skills.appsPage.search.skills.label":"Tafuta ujuzi","skills.appsPage.section.installedApps":"Imesakinishwa","skills.appsPage.section.skills":"Ujuzi","skills.appsPage.subheading":"Patia Codex nguvu zaidi.<link>Pata maelezo zaidi</link>","skills.appsPage.tab.recommended":"Linapendekezwa","skills.appsPage.tab.skills":"Ujuzi","skills.card.contentsError":"Haikuweza kupakia maudhui ya ujuzi.","skills.card.disable":"Zima","skills.card.disableSuccess":"Ujuzi {skillName} umelemazwa","skills.card.disabledBadge":"Imelemazwa","skills.card.enable":"Wezesha","skills.card.enableSuccess":"Ujuzi {skillName} umewezeshwa","skills.card.loadingContents":"Inapakia maudhui ya ujuzi...","skills.card.more":"Hatua zaidi","skills.card.open":"Fungua","skills.card.removeFailed":"Imeshindwa kusakinusha ujuzi","skills.card.removeSuccess":"Ujuzi {skillName} umeondolewa","skills.card.toggleEnabledError":"Imeshindwa kusasisha ujuzi","skills.card.try":"Jaribu","skills.card.trySkill":"Jaribu ujuzi","skills.card.uninstall":"Sakinusha","skills.hero.dotLabel":"Nenda kwenye {index} ya mtelezo","skills.hero.next":"Ujuzi unaofuata kuangaziwa","skills.hero.trySkill":"Jaribu ujuzi","skills.page.createSkill":"Ujuzi mpya","skills.page.empty":"Hakuna ujuzi umepatikana","skills.page.filteredEmpty":"Hakuna ujuzi unalingana na vichujio vyako","skills.page.filteredEmptyDescription":"Jaribu kurekebisha utafutaji wako au vichujio vya upeo","skills.page.heading":"Ujuzi","skills.page.loading":"Ujuzi wa kupakia...","skills.page.refreshSkills":"Sasisha","skills.page.refreshSkillsToUseNew":"Sasisha ili kutumia ujuzi mpya","skills.page.search":"Tafuta ujuzi","skills.page.search.label":"Tafuta ujuzi","skills.page.subheading":"Patia Codex nguvu zaidi.<link>Pata maelezo zaidi</link>","skills.preview.copyPrompt":"Nakili dokezo","skills.preview.examplePrompt":"Dokezo la mfano","skills.recommended.error":"Haikuweza kupakia ujuzi unaopendekezwa","skills.recommended.install":"Sakinisha","skills.recommended.installSkill":"Sakinisha ujuzi","skills.recommended.installSuccess":"Ujuzi {skillName} umesakinishwa","skills.recommended.installed":"Imesakinishwa","skills.scope.admin":"Msimamizi","skills.scope.adminInstalled":"Imesakinishwa na msimamizi","skills.scope.builtIn":"Mfumo","skills.scope.personal":"Binafsi","skills.scope.repo":"Hazina","skills.scope.system":"Mfumo","skills.scope.team":"Timu","skills.scope.user":"Mtumiaji","skills.section.installed":"Imesakinishwa","skills.section.recommended":"Linapendekezwa","story.slidingToggle.existing":"Iliyopo","story.slidingToggle.fromLocal":"Kutoka ndani","story.slidingToggle.new":"Mpya","story.slidingToggle.toLocal":"Hadi ndani","terminal.close":"Funga temino","terminal.title":"Temino","thinkingShimmer.default":"Kuwaza","threadEnvIcon.cloudTooltip":"Mazungumzo haya yanaendeshwa kwenye Codex Cloud.","threadEnvIcon.localTooltip":"Mazungumzo haya yanaendeshwa kindani.","threadEnvIcon.worktreeTooltip":"Mazungumzo haya yanaendeshwa kwenye mti wa kazi wa git ya ndani.","threadHeader.archiveConfirmCancel":"Ghairi","threadHeader.archiveConfirmConfirm":"Hifadhi kwenye kumbukumbu","threadHeader.archiveConfirmSubtitle":"Unaweza kuipata baadaye kwenye mazungumzo yako yaliyohifadhiwa kwenye kumbukumbu.","threadHeader.archiveConfirmTitle":"Je, utahifadhi mazungumzo kwenye kumbukumbu?","threadHeader.copyAppLink":"Nakili deeplink","threadHeader.copySessionId":"Nakili kitambulisho cha kikao","threadHeader.copyWorkingDirectory":"Nakili orodha ya kufanya kazi","threadHeader.forkIntoLocal":"Gawanya katika ndani","threadHeader.forkIntoWorktree":"Gawanya katika mti mpya wa kazi","threadHeader.forkPendingWorktreePrompt":"Gawanya mazungumzo haya katika mti mpya wa kazi.","threadHeader.forkPendingWorktreeTitle":"Mazungumzo yaliyogawanywa","threadHeader.forkThreadError":"Imeshindwa kugawanya tukio","threadHeader.forkThreadRequiresGitRepo":"Kugawanya katika mtu mpya wa kazi kunahitaji hazina ya git","threadHeader.moreActions":"Hatua za tukio","threadPage.newThread":"Tukio lipya","threadPage.runAction.changeEnvironment":"Badilisha mazingira","threadPage.runAction.dropdown.titleWithEnvironment":"Hatua {environmentName}","threadPage.runAction.environmentSelector.label":"Chagua mazingira","threadPage.runAction.label":"Run","threadPage.runAction.missing.label":"Sanidi kitendo cha kuendesha","threadPage.runAction.setup.commandLabel":"Amrisha ili kuendesha","threadPage.runAction.setup.description":"Ambia Codex jinsi ya kusakinisha vitegemezi na uanzishe programu yako.","threadPage.runAction.setup.editMore":"Mipangilio ya mazingira","threadPage.runAction.setup.placeholder":"km: npm install npm run","threadPage.runAction.setup.submit":"Hifadhi na uendeshe","threadPage.runAction.setup.title":"Run","threadPage.runAction.tooltip.withEnvironment":"Hatua {environmentName}","threadPage.toggleDiffPanel":"Geuza paneli ya tofauti","threadPage.toggleTerminal":"Geuza temino","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Fungua folda","toolSummaryForCmd.exploredFiles":"<verb>Faili zilizoorodheshwa</verb>","toolSummaryForCmd.exploredFilesInPath":"<verb>Faili zilizoorodheshwa</verb> kwenye {path}","toolSummaryForCmd.exploringFiles":"<verb>Kuorodhesha faili</verb>","toolSummaryForCmd.exploringFilesInPath":"<verb>Kuorodhesha faili</verb> kwenye {path}","toolSummaryForCmd.ranGenericCommand":"<status>Endesha amri</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Inaendesha</status> {command}{timer}","toolSummaryForCmd.read":" <verb>Soma</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Kuendesha amri</status>{timer}","toolSummaryForCmd.runningTimer":"kwa {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Ulitafuta</verb> kwa {query}","toolSummaryForCmd.searchedForFiles":"<verb>Imetafuta</verb> kwa faili","toolSummaryForCmd.searchedForInPath":" <verb>Imetafuta</verb> kwa {query} katika {path}","toolSummaryForCmd.searchingFor":"<verb>Inatafuta</verb> kwa {query}","toolSummaryForCmd.searchingForFiles":"<verb>Kutafuta</verb> kwa faili","toolSummaryForCmd.searchingForInPath":"<verb>Inatafuta</verb> kwa {query} katika {path}","traceRecording.details.noteLabel":"Je, ulikuwa unafanya nini wakati hili lilifanyika? (hiari)","traceRecording.details.notePlaceholder":"Nilirambaza kwenye mazungumzo makubwa, kisha nikabadilisha vichupo mara kwa mara…","traceRecording.details.submit":"Tuma ufuatiliaji","traceRecording.details.subtitle":"Tunaweza kutuma ufuatilizi wa wasifu huu ili kusaidia kutambua matatizo ya utendaji.","traceRecording.details.title":"Je, utatuma ufuatiliaji wa wasifu?","traceRecording.progress.subtitle":"Weka Codex ikiwa wazi wakati hii inakamilisha.","traceRecording.saving.title":"Inahifadhi ufuatilizi…","traceRecording.startDetails.cancel":"Ghairi","traceRecording.startDetails.submit":"Sawa, Anza Kurekodi","traceRecording.startDetails.subtitle":"Baada ya kubonyeza Sawa, zalisha upya tatizo la utendaji, kisha bonyeza kiashiria chekundu kinachoelea ili kusitisha na kuhakiki ufuatiliaji.","traceRecording.startDetails.title":"Jinsi Rekodi ya Ufuatiliaji Hufanya Kazi","traceRecording.stopButton.ariaLabel":"Sitisha rekodi ya ufuatiliaji","traceRecording.upload.successToast":"Ufuatiliaji wa wasifu umetumwa.","traceRecording.uploading.title":"Inapakia ufuatiliaji…","wham.diff.addComment":"Ongeza maoni","wham.diff.binaryFile":"Faili ya pili haijaonyeshwa","wham.diff.noContent":"Hakuna maudhui","wham.fileTag.deleted":"Imefutwa","wham.fileTag.new":"Mpya","wham.formattedRelativeDateTime.compactDaysAgo":"siku {value}","wham.formattedRelativeDateTime.compactHoursAgo":"saa {value}","wham.formattedRelativeDateTime.compactMinutesAgo":"dak {value}","wham.formattedRelativeDateTime.compactMonthsAgo":"mwezi {value}","wham.formattedRelativeDateTime.compactWeeksAgo":"wiki {value}","wham.formattedRelativeDateTime.compactYearsAgo":"mwaka {value}","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Kufanya kazi kwenye shughuli yako","wham.whamProposedTask.title":"Shughuli iliyopendekezwa","wham.whamProposedTask.useSuggestion":"Tumia mapendekezo","workspaceRootDialog.addError":"Imeshindwa kuongeza mradi","workspaceRootDialog.cancel":"Ghairi","workspaceRootDialog.confirmAdd":"Ongeza mradi","workspaceRootDialog.confirmPick":"Tumia mradi","workspaceRootDialog.description":"Weka njia kwenye {host} ili kutumia mradi","workspaceRootDialog.pathLabel":"Njia ya mradi","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Ongeza njia ya mradi","workspaceRootDialog.title.pick":"Chagua njia ya mradi","worktreeInitV2.cancel":"Ghairi","worktreeInitV2.notification.failedTitle":"Usanidi wa mti wa kazi umeshindikana","worktreeInitV2.output.empty":"Kusubiri kwa vitolewa...","worktreeInitV2.status.error":"Usanidi wa mti wa kazi umeshindikana.","worktreeInitV2.status.running":"Unda mti wa kazi na usanidi wa kuendesha.","worktreeInitV2.status.runningFork":"Kuunda mti wa kazi ili kugawanya mazungumzo haya.","worktreeInitV2.status.success":"Mti wa kazi uko tayari.","worktreeInitV2.title":"Kuunda mti wa kazi","worktreeInitV2.workLocallyInstead":"Fanya kazi ndani badala yake","worktreeRestoreBanner.body":"Mti wa kazi wa tukio hili uliondolewa ili kuokoa nafasi ya diski.","worktreeRestoreBanner.missing.body":"Folda ya kufanya kazi ya tukio hili haipo tena","worktreeRestoreBanner.missing.title":"Folda ya kufanya kazi ya sasa inakosekana","worktreeRestoreBanner.restore.error":"Imeshindwa kurejesha mti wa kazi: {message}","worktreeRestoreBanner.restore.success":"Mti wa kazi umerejeshwa","worktreeRestoreBanner.restoreCta":"Rejesha mti wa kazi","worktreeRestoreBanner.title":"Mti wa kazi umesafishwa"};Object.assign(a,globalThis.codexI18nOverrides?.["sw-TZ"]);export{a as default};
 //# sourceMappingURL=sw-TZ-CCLe0xy2.js.map
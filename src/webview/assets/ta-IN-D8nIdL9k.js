@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"நகலெடுக்கவும்","app.sidebar.hide":"பக்கப்பட்டியை மறைக்கும்","app.sidebar.show":"பக்கப்பட்டியைக் காட்டும்","app.sidebar.tooltip":"பக்கப்பட்டியை நிலைமாற்று","appHeader.installUpdate":"இற்றைப்படுத்து","appSunset.body":"செயலியின் இந்தப் பதிப்பு இனி ஆதரிக்கப்படாது. சமீபத்திய பதிப்பை <here>இங்கே</here> பதிவிறக்குங்கள்.","appSunset.title":"புதுப்பிப்பு தேவை","automation.updateDirective.create":"உருவாக்கு","automation.updateDirective.open":"திறக்கவும்","automation.updateDirective.untitled":"பெயரிடப்படாத ஆட்டோமேஷன்","automation.updateDirective.update":"இற்றைப்படுத்து","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# attempt} other {# attempts}}","cloudTaskRow.archiveError":"பணியை ஆவணக் காப்பிட முடியவில்லை","code.diff.requestChange":"மாற்றத்தைக் கோருக","code.diffComment.cancel":"ரத்துசெய்க","code.diffComment.comment":"கருத்து","code.diffComment.delete":"நீக்கவும்","code.diffComment.save":"சேமிக்கவும்","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"எந்தக் கண்டுபிடிப்புகளும் தெரிவிக்கப்படவில்லை.","codex.alert.closeAriaLabel":"மூடுக","codex.appUpsellBanner.cbpApi.message":"Codex செயலி மூலம் வேகமாக உருவாக்குங்கள். இப்போதே அல்லது {learnMoreLink} பதிவிறக்கவும்.","codex.appUpsellBanner.download":"பதிவிறக்கவும்","codex.appUpsellBanner.freeGo.message":"மார்ச் 2 வரை உங்கள் திட்டத்தில் Codex சேர்க்கப்பட்டுள்ளது. வேகமாக உருவாக்க Codex செயலியை முயற்சிக்கவும்.","codex.appUpsellBanner.later":"பின்னர்","codex.appUpsellBanner.learnMoreLowercase":"மேலும் அறிக","codex.appUpsellBanner.new":"புதியது","codex.appUpsellBanner.proPlusBusiness.message":"ஏப்ரல் 2 ஆம் தேதி வரை 2x கட்டண வரம்புகளுடன் Codex செயலியை முயற்சிக்கவும். இப்போதே அல்லது {learnMoreLink} பதிவிறக்கவும்.","codex.appUpsellBanner.title":"Codex செயலி","codex.applyDropdown.header.changes":"மாற்றங்கள்","codex.applyDropdown.header.fileCount":"{count, plural, one {# கோப்பு} other {# கோப்புகள்}}","codex.applyDropdown.header.rows":"வரிசைகள்","codex.applyDropdown.header.title":"மாற்றங்களைப் பிரயோகி","codex.applyDropdown.header.workspace":"திட்டம்","codex.applyDropdown.results.conflicted":"{count, plural, one {1 கோப்பு முரண்படுகிறது:} other {{count} கோப்புகள் முரண்படுகின்றன:}}","codex.applyDropdown.results.empty":"எந்தக் கோப்புகளும் நகலெடுக்கப்படவில்லை","codex.applyDropdown.results.skipped":"{count, plural, one {1 கோப்பு தவிர்க்கப்பட்டது:} other {{count} கோப்புகள் தவிர்க்கப்பட்டன:}}","codex.applyOrRevertBanner.apply":"பிரயோகிக்கவும்","codex.applyOrRevertBanner.applyMessage":"மாற்றங்களைப் பயன்படுத்தி அகமாய்த் தொடரவா?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"இந்தப் பணி {environment}-இல் செய்யப்பட்டதால் சரியாகப் பொருந்தாமல் போகலாம்.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"மாற்றங்கள் {environment}-இல் செய்யப்பட்டதால் சரியாகப் பொருந்தாமல் போகலாம்.","codex.applyOrRevertBanner.reapply":"மீண்டும் பிரயோகிக்கவும்","codex.applyOrRevertBanner.revert":"திரும்பவும்","codex.applyOrRevertBanner.revertMessage":"பிரயோகிக்கப்பட்ட மாற்றங்களை திருப்பியமைக்கவா?","codex.applyResultsDialog.applied":"சுத்தமாகப் பிரயோகிக்கப்பட்டது ({count})","codex.applyResultsDialog.close":"மூடுக","codex.applyResultsDialog.conflicted":"முரண்பட்டது ({count})","codex.applyResultsDialog.noDetails":"கோப்பு விவரங்கள் எதுவும் கிடைக்கவில்லை.","codex.applyResultsDialog.skipped":"தவிர்த்தது ({count})","codex.applyResultsDialog.title":"முடிவுகளைப் பிரயோகிக்கவும்","codex.archiveInfo":"{dataControlsLink}-இல் காப்பகப்படுத்திய அரட்டைகளைக் காண்க.","codex.archiveInfo.dataControlsLink":"தரவு கட்டுப்பாடுகள்","codex.archiveInfo.electron":"{settingsLink}-இல் காப்பகப்படுத்திய அரட்டைகளைக் காண்க","codex.archiveInfo.extension":"உங்கள் .codex கோப்புறையில் காப்பிட்ட அரட்டைகளைப் பார்க்கலாம்.","codex.archiveInfo.settingsLink":"அமைப்புகள்","codex.banner.content.description":"பணிகளை இணையாக இயக்கலாம், எங்கும் முன்னேற்றத்தைக் கண்காணிக்கலாம், AI உடன் PRகளை மதிப்பாய்வு செய்யலாம்.","codex.banner.content.headline":"Codex அனைத்தையும் செய்கிறது.","codex.cloudTaskRow.archiveTask":"பணியைக் ஆவணக் காப்பிடவும்","codex.cloudTaskRow.confirmArchiveTask":"உறுதிப்படுத்துக","codex.command.feedback":"பின்னூட்டம்","codex.command.findInThread":"கண்டுபிடி","codex.command.forceReloadSkills":"ஸ்கில்களை கட்டாயமாக மீளேற்று","codex.command.logOut":"வெளியேறவும்","codex.command.manageTasks":"பணிகளை நிர்வகி","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"பின் செல்க","codex.command.navigateForward":"ஃபார்வர்ட் செய்","codex.command.newThread":"புதிய தொடர்","codex.command.nextThread":"அடுத்த தொடர்","codex.command.openFolder":"கோப்புறையைத் திறக்கலாம்","codex.command.openSkills":"ஸ்கில்களுக்குச் செல்","codex.command.openThreadOverlay":"தொடரை பாப் அவுட் செய்","codex.command.personalitySettings":"ஆளுமை","codex.command.previousThread":"முந்தைய தொடர்","codex.command.settings":"அமைப்புகள்","codex.command.toggleDiffPanel":"diff பேனலை நிலைமாற்று","codex.command.toggleSidebar":"பக்கப்பட்டியை நிலைமாற்று","codex.command.toggleTerminal":"டெர்மினலை நிலைமாற்றுக","codex.commandGroup.app":"செயலி","codex.commandGroup.configure":"கட்டமை","codex.commandGroup.navigation":"வழிசெலுத்தல்","codex.commandGroup.panels":"பேனல்கள்","codex.commandGroup.skills":"ஸ்கில்கள்","codex.commandGroup.thread":"தொடர்","codex.commandGroup.workspace":"திட்டம்","codex.commandMenu.noResults":"பொருத்தங்கள் எதுவும் இல்லை","codex.commandMenu.searchPlaceholder":"தேடல் கட்டளைகள்","codex.commandMenu.suggestedGroup":"பரிந்துரைக்கப்படுவது","codex.commandMenu.switchWorkspace":"திட்டத்தை மாற்று","codex.commandMenu.title":"கட்டளை மெனு","codex.common.retry":"மீண்டும் முயற்சிக்கவும்","codex.composer.searchBranches":"பிராஞ்சுகளைத் தேடவும்","codex.dialog.basic.body":"இது Radix Dialog-ஐச் சுற்றியுள்ள எங்கள் ரேப்பரைப் பயன்படுத்தும் ஓர் எளிய மோடல் உரையாடல்.","codex.dialog.basic.cancel":"ரத்துசெய்க","codex.dialog.basic.confirm":"உறுதிப்படுத்துக","codex.dialog.basic.open":"உரையாடலைத் திறக்கவும்","codex.dialog.basic.title":"மாதிரி உரையாடல்","codex.dialog.long.close":"மூடுக","codex.dialog.long.line":"உரையாடலுக்குள் நீண்ட உள்ளடக்கத்தைக் காட்ட ஸ்குரோல் செய்யக்கூடிய வரி {index}.","codex.dialog.long.open":"நீண்ட உரையாடலைத் திறக்கவும்","codex.dialog.long.title":"நீண்ட உள்ளடக்க உரையாடல்","codex.dialog.unstyled.body":"இந்த கதை, அழைப்பாளர்கள் உரையாடல் உள்ளடக்க பாணியை எப்படி முழுமையாகக் கட்டுப்படுத்த முடியும் என்பதைக் காட்டுகிறது.","codex.dialog.unstyled.open":"ஸ்டைலற்ற உரையாடலைத் திற","codex.dialog.unstyled.title":"ஸ்டைலற்ற உள்ளடக்கம்","codex.diff.openInEditorPrompt.openButton":"எடிட்டரில் திறக்கவும்","codex.diff.openInEditorPrompt.singleLine":"இந்தக் கோப்பு இங்கு காட்ட முடியாதளவு மிகப் பெரியதாக உள்ளது.","codex.diffView.failedToDecodeBase64Diff":"base64 diff -ஐ டிகோட் செய்ய முடியவில்லை","codex.diffView.filesChanged":"{fileCount, plural, one {# file changed} other {# files changed}}","codex.diffView.imagePreviewAlt":"பட முன்னோட்டம்","codex.diffView.imagePreviewEmpty":"படம் இல்லை","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"diff தரவு இல்லை","codex.diffView.pdfPreview.nextPage":"அடுத்த பக்கம்","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"முந்தைய பக்கம்","codex.diffView.pdfPreviewEmpty":"PDF முன்னோட்டம் இல்லை","codex.diffView.pdfPreviewError":"PDF முன்னோட்டத்தை வழங்க முடியவில்லை","codex.diffView.richPreviewDisable":"ரிச் முன்னோட்டத்தை முடக்கும்","codex.diffView.richPreviewEnable":"ரிச் முன்னோட்டத்தை இயக்கும்","codex.diffView.richPreviewLoading":"முன்னோட்டத்தை ஏற்றுகிறது…","codex.diffView.richPreviewToggle":"ரிச் முன்னோட்டத்தை நிலைமாற்றலாம்","codex.diffView.switchToUnified":"ஒருங்கிணைந்த diff-க்கு மாறவும்","codex.environmentSelector.noEnvironment":"சூழல் இல்லை","codex.environments.environmentSettings":"சூழல் அமைப்புகள்","codex.environments.learnMore":"மேலும் அறிக","codex.environments.listError":"சூழல்களை ஏற்ற முடியவில்லை.","codex.environments.noEnvironmentsFound":"சூழல்கள் காணப்படவில்லை","codex.environments.searchError":"சூழல்களைத் தேடுவது தோல்வியுற்றது.","codex.errorBoundary.genericError":"அடடே, ஒரு பிழை ஏற்பட்டுள்ளது","codex.errorBoundary.goHome":"மீண்டும் முயற்சித்திடுக","codex.file.patch.missing":"இந்தக் கோப்பிற்கான பேட்சை உருவாக்க முடியவில்லை.","codex.gallery.automations.cwdLabel":"திட்டங்கள்","codex.gallery.automations.nameLabel":"பெயர்","codex.gallery.automations.namePlaceholder":"பணியின் சுருக்கத்தை வழங்கு","codex.gallery.automations.promptLabel":"தூண்டி","codex.gallery.automations.promptPlaceholder":"Codex என்ன செய்ய வேண்டும் என்பதை விவரிக்கவும்","codex.gallery.dialogs.automation.label":"தானியங்கு உரையாடல்","codex.gallery.dialogs.basic.body":"நேரடியான உறுதிப்படுத்தல்கள் அல்லது குறுகிய படிவங்களுக்கு இந்த அமைப்பைப் பயன்படுத்தவும்.","codex.gallery.dialogs.basic.cancel":"ரத்துசெய்","codex.gallery.dialogs.basic.confirm":"உறுதிப்படுத்துக","codex.gallery.dialogs.basic.label":"அடிப்படை உரையாடல்","codex.gallery.dialogs.basic.title":"மாதிரி உரையாடல்","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"சிக்கலை விவரிக்கவும்","codex.gallery.dialogs.feedbackSubmission.bad":"மோசமான முடிவு","codex.gallery.dialogs.feedbackSubmission.bug":"பிழை","codex.gallery.dialogs.feedbackSubmission.good":"சிறந்த முடிவு","codex.gallery.dialogs.feedbackSubmission.includeLogs":"தற்போதைய Codex அமர்வுப் பதிவுகளைச் சேர்க்கவும்","codex.gallery.dialogs.feedbackSubmission.label":"பின்னூட்டச் சமர்ப்பிப்பு","codex.gallery.dialogs.feedbackSubmission.other":"வேறு","codex.gallery.dialogs.feedbackSubmission.placeholder":"இங்கே சிக்கலை விவரிக்கவும்","codex.gallery.dialogs.feedbackSubmission.submit":"சமர்ப்பி","codex.gallery.dialogs.feedbackSubmission.title":"பின்னூட்டம்","codex.gallery.dialogs.feedbackSuccess.body":"கருத்து பதிவேற்றப்பட்டது. சிக்கல் தொடர்ந்தால், தயவுசெய்து ஒரு GitHub சிக்கலைத் திறக்கவும் அல்லது ஏற்கெனவே உள்ள திறந்த சிக்கலில் தொடரின் ஐடியைக் குறிப்பிடவும்:","codex.gallery.dialogs.feedbackSuccess.dismiss":"நிராகரி","codex.gallery.dialogs.feedbackSuccess.label":"பின்னூட்டம் வெற்றி","codex.gallery.dialogs.feedbackSuccess.title":"பின்னூட்டம் பதிவேற்றப்பட்டது","codex.gallery.dialogs.gitApplyResults.applied":"சுத்தமாகப் பிரயோகிக்கப்பட்டது (2)","codex.gallery.dialogs.gitApplyResults.close":"மூடுக","codex.gallery.dialogs.gitApplyResults.conflicted":"முரண்பட்டது (1)","codex.gallery.dialogs.gitApplyResults.label":"முடிவுகளைப் பிரயோகிக்கவும்","codex.gallery.dialogs.gitApplyResults.title":"முடிவுகளைப் பிரயோகிக்கவும்","codex.gallery.dialogs.gitPushError.body":"தொலைதூர வரலாற்றை மேலெழுதுவது பாதுகாப்பானது என்று உங்களுக்குத் தெரிந்தால், சமீபத்திய மாற்றங்களை இழுக்கவும் அல்லது கட்டாயப்படுத்தவும்.","codex.gallery.dialogs.gitPushError.cancel":"ரத்துசெய்","codex.gallery.dialogs.gitPushError.force":"புஷ் கட்டாயப்படுத்து","codex.gallery.dialogs.gitPushError.label":"புஷ் பிழை","codex.gallery.dialogs.gitPushError.subtitle":"உங்கள் கிளை, தோற்றம்/பிரதானமானதற்குப் பின்னால் உள்ளது.","codex.gallery.dialogs.gitPushError.title":"மாற்றங்களை புஷ் செய்ய முடியவில்லை","codex.gallery.dialogs.gitRevert.cancel":"ரத்துசெய்","codex.gallery.dialogs.gitRevert.confirm":"திரும்பவும்","codex.gallery.dialogs.gitRevert.label":"மாற்றங்களை மாற்றியமை","codex.gallery.dialogs.gitRevert.skip":"மீண்டும் கேட்க வேண்டாம்","codex.gallery.dialogs.gitRevert.subtitle":"இந்தச் செயல் இந்த மாற்றங்கள் அனைத்தையும் நீக்குகிறது.","codex.gallery.dialogs.gitRevert.title":"மாற்றங்களை மாற்றியமைக்கவா?","codex.gallery.dialogs.longForm.label":"நீண்ட வடிவ உரையாடல்","codex.gallery.dialogs.proseModal.body":"இந்த மோடல் பாணியானது நீண்ட அறிவுறுத்தல்கள், ஆன்போர்டிங் அல்லது ரிச் உள்ளடக்கத் தொகுதிகளுக்குப் பயன்படுத்தப்படுகிறது.","codex.gallery.dialogs.proseModal.close":"மூடுக","codex.gallery.dialogs.proseModal.subtitle":"நீண்ட படிவ வழிகாட்டுதல் அல்லது ஆவணங்களை இங்கே பகிரவும்.","codex.gallery.dialogs.proseModal.title":"உரைநடை மோடல்","codex.gallery.dialogs.submitBlocked.label":"சமர்ப்பிப்பு தடுக்கப்பட்டது","codex.gallery.dialogs.submitBlocked.message":"திட்டம் கிடைக்காததால் உங்கள் செய்தியை அனுப்ப முடியவில்லை.","codex.gallery.dialogs.submitBlocked.ok":"சரி","codex.gallery.dialogs.submitBlocked.title":"செய்தி அனுப்ப முடியவில்லை","codex.gallery.dialogs.title":"உரையாடல்கள்","codex.gallery.dropdown.filterPlaceholder":"உருப்படிகளை வடிகட்டவும்","codex.gallery.dropdowns.actionRow":"நடவடிக்கை வரிசைகள்","codex.gallery.dropdowns.actionRow.disabled":"முடக்கப்பட்ட நடவடிக்கை","codex.gallery.dropdowns.actionRow.primary":"முதன்மை நடவடிக்கை","codex.gallery.dropdowns.actionRow.secondary":"இரண்டாம் நிலை நடவடிக்கை","codex.gallery.dropdowns.actionRow.trigger":"நடவடிக்கைகளைக் காட்டு","codex.gallery.dropdowns.basic":"அடிப்படை கீழ்தோன்றும் பட்டியல்","codex.gallery.dropdowns.basic.newFile":"புதிய கோப்பு","codex.gallery.dropdowns.basic.newFolder":"புதிய கோப்புறை","codex.gallery.dropdowns.basic.openSettings":"அமைப்புகளைத் திறக்கவும்","codex.gallery.dropdowns.basic.title":"விரைவான செயல்கள்","codex.gallery.dropdowns.basic.trigger":"மெனுவைத் திற","codex.gallery.dropdowns.basic.upload":"பதிவேற்று","codex.gallery.dropdowns.panel":"பேனல் மேற்பரப்பு","codex.gallery.dropdowns.panel.apply":"பிரயோகி","codex.gallery.dropdowns.panel.body":"வேறுபாடுகளை மதிப்பாய்வு செய்து உங்கள் திட்டத்தில் பயன்படுத்தவும்.","codex.gallery.dropdowns.panel.preview":"முன்னோட்டம்","codex.gallery.dropdowns.panel.title":"மாற்றங்களைப் பிரயோகி","codex.gallery.dropdowns.panel.trigger":"பேனலைத் திற","codex.gallery.dropdowns.search":"தேடத்தக்க கீழ்தோன்றும் பட்டியல்","codex.gallery.dropdowns.search.first":"ஆல்பா சேனல்","codex.gallery.dropdowns.search.second":"பீட்டா கிளை","codex.gallery.dropdowns.search.third":"கேன்டிடேட்டை வெளியிடு","codex.gallery.dropdowns.search.trigger":"உருப்படிகளை வடிகட்டவும்","codex.gallery.dropdowns.submenu":"துணைமெனுவுடன் கூடிய கீழ்தோன்றும் பட்டியல்","codex.gallery.dropdowns.submenu.optionA":"திட்டம் ஆல்பா","codex.gallery.dropdowns.submenu.optionB":"திட்டம் பீட்டா","codex.gallery.dropdowns.submenu.optionC":"திட்டம் காமா","codex.gallery.dropdowns.submenu.primary":"உரிமையாளரை ஒதுக்கு","codex.gallery.dropdowns.submenu.secondary":"இதற்கு நகர்த்து","codex.gallery.dropdowns.submenu.tertiary":"ஆவணக் காப்பிடவும்","codex.gallery.dropdowns.submenu.trigger":"நடவடிக்கையைத் தேர்வுசெய்க","codex.gallery.dropdowns.title":"கீழ்தோன்றும் பட்டியல்கள்","codex.gallery.inbox.automations.close":"மூடுக","codex.gallery.inbox.automations.popover.cardTitle":"ஆட்டோமேஷன்களை நிர்வகி","codex.gallery.inbox.automations.popover.dialogTitle":"ஆட்டோமேஷன்களை நிர்வகி","codex.header.settingsTooltip":"அமைப்புகள்","codex.hunk.patch.error":"ஸ்டேஜ் செய்வது தோல்வியடைந்தது","codex.hunk.patch.missing":"இந்த ஹங்கிற்கு பேட்ச்சை உருவாக்க முடியவில்லை.","codex.hunk.patch.partialSuccess":"பகுதியளவு வெற்றி","codex.hunk.patch.revertError":"அன்ஸ்டேஜ் செய்வது தோல்வியடைந்தது","codex.hunk.patch.revertSuccess":"வெற்றிகரமாக அன்ஸ்டேஜ் செய்யப்பட்டது","codex.hunk.patch.success":"வெற்றிகரமாக ஸ்டேஜ் செய்யப்பட்டது","codex.legal.autonomy.details":"மேலும் விவரங்களுக்கு, {link}-ஐப் பார்க்கவும்","codex.legal.autonomy.details.link":"Codex ஆவணங்கள்","codex.legal.autonomy.title":"எவ்வளவு சுயாட்சியை வழங்க விரும்புகிறீர்கள் என்பதை முடிவு செய்யவும்","codex.legal.backButton":"பின் செல்க","codex.legal.cloud.taskOne.meta":"openai/agi · அக்டோ 12","codex.legal.cloud.taskOne.title":"ஒரு புதிய வடிவமைப்பாளருக்கு களஞ்சியத்தை விளக்கவும்","codex.legal.cloud.taskThree.meta":"openai/codex · அக்டோ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"டார்க்மோட் தீம் ஒன்றை உருவாக்கவும்","codex.legal.cloud.taskTwo.meta":"openai/agi · அக்டோ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ஆன்போர்டிங் பிழையைச் சரிசெய்யவும்","codex.legal.continue.apikey":"தொடர்க","codex.legal.continueButton":"அடுத்தது","codex.legal.copilot.details":"அனைத்து மாடல் அழைப்புகள், பில்லிங் மற்றும் கட்டண வரம்புகளுக்கும் உங்கள் Copilot திட்டத்தைப் பயன்படுத்துகிறது. Codex நீட்டிப்பு பயன்பாடு {oaiTos} மற்றும் {gitHubTos} என இரண்டிற்கும் உட்பட்டது.","codex.legal.copilot.gitHubTosLink":"GitHub சேவை விதிமுறைகள்","codex.legal.copilot.oaiTosLink":"OpenAI Codex சேவை விதிமுறைகள்","codex.legal.copilot.title":"GitHub Copilot -ஆல் இயக்கப்படுகிறது","codex.legal.mistakes.review":"அது எழுதும் கோடிங்கையும், அது இயக்கும் கட்டளைகளையும் மீளாய்வு செய்யவும்","codex.legal.mistakes.title":"Codex தவறுகளைச் செய்யலாம்","codex.legal.powered.details":"உங்கள் திட்டத்தின் விகித வரம்புகளையும் {link}-ஐயும் பயன்படுத்துகிறது","codex.legal.powered.details.link":"பயிற்சித் தரவு முன்னுரிமைகள்","codex.legal.powered.title":"உங்கள் ChatGPT கணக்கால் இயக்கப்படுகிறது","codex.legal.step.cloud.subtitle":"பின்னணியில் இயங்க Codexக்கு பணிகளை அனுப்புங்கள், இதன் மூலம் நீங்கள் கவனம் செலுத்தி வேகமாக நகர முடியும்.","codex.legal.step.cloud.title":"கிளவுட்டில் Codex-இடம் ஒப்படைப்பு","codex.legal.step.intro.subtitle":"Codex உங்கள் ரெப்போவில் நேரடியாக வழிசெலுத்துகிறது, திருத்துகிறது, கட்டளைகளை இயக்குகிறது மற்றும் சோதனைகளை செயல்படுத்துகிறது. உங்கள் ChatGPT கணக்கால் இயக்கப்படுகிறது.","codex.legal.step.intro.title":"உங்கள் IDEயில் Codex","codex.legal.step.todo.subtitle":"ஒரு TODO கருத்தை எழுதி, அதை ஒரே கிளிக்கில் Codex பணியாக மாற்றலாம்.","codex.legal.step.todo.title":"TODOகளை Codex பணிகளாக மாற்றவும்","codex.legal.todo.heading":"// TODO: திட்டத்தைச் செயல்படுத்து","codex.localConversation.closeImagePreview":"பட முன்னோட்டத்தை மூடும்","codex.localConversation.userImageAttachment":"பயனர் இணைப்பு","codex.localTaskRow.archiveTask":"காப்பிடத் தொடர்","codex.localTaskRow.awaitingApproval":"ஒப்புதலுக்காகக் காத்திருக்கிறது","codex.localTaskRow.awaitingResponse":"பதிலுக்காகக் காத்திருக்கிறது","codex.localTaskRow.confirmArchiveTask":"உறுதிப்படுத்துக","codex.loggedOut.apiKeyPrompt.cancel":"ரத்துசெய்க","codex.loggedOut.apiKeyPrompt.confirm":"சரி","codex.loggedOut.apiKeyPrompt.getKey":"API விசையைப் பெறுக","codex.loggedOut.apiKeyPrompt.inputLabel":"உங்கள் OpenAI API விசையை உள்ளிடவும்","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API விசையுடனான கிளவுட் பணிகள் முடக்கப்பட்டுள்ளன","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot மற்றும் API விசையுடனான கிளவுட் பணிகள் முடக்கப்பட்டுள்ளன","codex.loggedOut.signIn":"ChatGPT-உடன் உள்நுழைக","codex.loggedOut.signIn.cancel":"உள்நுழைவை ரத்துசெய்க","codex.loggedOut.signInWithCopilot":"GitHub Copilot -உடன் உள்நுழையவும்","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API விசையைப் பயன்படுத்துக","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} கருவி","codex.mcpTool.collapsedLabel.verb.called":"அழைக்கப்பட்டது","codex.mcpTool.collapsedLabel.verb.calling":"அழைக்கிறது","codex.mcpTool.embeddedResource.contentLabel":"உள்ளடக்கம்","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME வகை","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"கருவி எந்த உள்ளடக்கத்தையும் வழங்கவில்லை","codex.mcpTool.rawPayloadHeading":"மூல {server}.{tool} கருவி அழைப்பு பேலோடு","codex.menu.recent":"சமீபத்தையது","codex.menu.seeAllHistory":"எல்லா வரலாற்றையும் காண்க","codex.modelCapacityBanner.headline.noReset":"{modelName} தற்போது முழுமையாக நிரப்பப்பட்டுள்ளது. பின்னர் முயற்சிக்கவும் அல்லது வேறு மாடலுடன் புதிய உரையாடலைத் தொடங்கவும்.","codex.modelCapacityBanner.headline.withReset":"{modelName} தற்போது முழுமையாக நிரப்பப்பட்டுள்ளது. {resetDate}க்குப் பிறகு மீண்டும் முயற்சிக்கவும் அல்லது வேறு மாடலுடன் புதிய உரையாடலைத் தொடங்கவும்.","codex.modelCapacityBanner.title":"தேர்ந்தெடுத்த மாடல், திறனை எட்டியுள்ளது","codex.patch.change.contentsDeleted":"உள்ளடக்கங்கள் நீக்கப்பட்டன","codex.patch.change.created":"உருவாக்கப்பட்டது","codex.patch.change.created-file":"உருவாக்கிய கோப்பு","codex.patch.change.creating":"உருவாக்குகிறது","codex.patch.change.deleted":"நீக்கப்பட்டது","codex.patch.change.deleted-file":"நீக்கிய கோப்பு","codex.patch.change.deleting":"நீக்குகிறது","codex.patch.change.edited":"திருத்தப்பட்டது ","codex.patch.change.edited-file":"திருத்தப்பட்ட கோப்பு","codex.patch.change.editing":"திருத்துகிறது","codex.patch.change.noChanges":"மாற்றங்கள் இல்லை","codex.patch.change.rejected-add":"நிராகரிக்கப்பட்டது","codex.patch.change.rejected-delete":"நிராகரிக்கப்பட்டது","codex.patch.change.rejected-edit":"நிராகரிக்கப்பட்டது","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total}-இல் {completed} பணிகள் முடிந்தன","codex.plan.todoListCreated":"{total} பணிகளுடன் செய்ய வேண்டியவற்றின் பட்டியல் உருவாக்கப்பட்டது","codex.profileDropdown.apiKeyAuth":"API விசையுடன் உள்நுழைந்துள்ளீர்கள்","codex.profileDropdown.codexSettings":"Codex அமைப்புகள்","codex.profileDropdown.copilotAuth":"Copilot மூலம் உள்நுழைந்துள்ளீர்கள்","codex.profileDropdown.defaultAccountTitle":"இயல்புநிலை கணக்கு","codex.profileDropdown.enterBehavior":"நீண்ட ப்ராம்ப்ட்களை அனுப்ப {modifierSymbol} + enter","codex.profileDropdown.enterBehaviorError":"அமைப்பைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.getPlus":"அதிக வரம்புகளுக்கு மேம்படுத்தவும்","codex.profileDropdown.keyboardShortcuts":"விசைப்பலகை குறுக்குவழிகள்","codex.profileDropdown.language":"மொழி","codex.profileDropdown.languageDefault":"தானாக கண்டறிதல்","codex.profileDropdown.languageSearchPlaceholder":"மொழிகளைத் தேடுக","codex.profileDropdown.languageUpdateError":"மொழியைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.logOut":"வெளியேறு","codex.profileDropdown.mcp":"MCP அமைப்புகள்","codex.profileDropdown.openConfigToml":"config.toml -ஐத் திறக்கவும்","codex.profileDropdown.openConfigToml.wsl":"WSL சூழலில் config.toml -ஐத் திறக்கவும்","codex.profileDropdown.openExtensionSettings":"அமைப்புகளைத் திறக்கவும்","codex.profileDropdown.openMcpSettings":"MCP அமைப்புகளைத் திற","codex.profileDropdown.openOnStartup":"தொடக்கத்தில் திறக்கவும்","codex.profileDropdown.openOnStartupError":"அமைப்பைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.openSkillsSettings":"ஸ்கில்கள் அமைப்புகளைத் திற","codex.profileDropdown.personalAccountTitle":"தனிப்பட்ட கணக்கு","codex.profileDropdown.queueFollowUps":"பின்தொடரல்களை வரிசையில் சேர்","codex.profileDropdown.queueFollowUpsError":"அமைப்பைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.readDocs":"ஆவணங்களைப் படிக்கவும்","codex.profileDropdown.readSkillsDocs":"ஆவணங்களைப் படிக்கவும்","codex.profileDropdown.runInWsl":"WSL -இல் இயக்கவும்","codex.profileDropdown.runInWslError":"அமைப்பைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.runInWslTooltip":"WSL-க்குள் Codex-ஐ இயக்குகிறது. மேம்படுத்தப்பட்ட சாண்ட்பாக்ஸ் பாதுகாப்பு மற்றும் சிறந்த செயல்திறனுக்குப் பரிந்துரைக்கப்படுகிறது.","codex.profileDropdown.settings":"IDE அமைப்புகள்","codex.profileDropdown.settingsPage":"அமைப்புகள்","codex.profileDropdown.signInWithOpenAI":"ChatGPT-உடன் உள்நுழைக","codex.profileDropdown.skills":"ஸ்கில்கள் அமைப்புகள்","codex.profileDropdown.switchToCopilotAccount":"Copilot கணக்கைப் பயன்படுத்தவும்","codex.profileDropdown.switchToOpenAIAccount":"OpenAI கணக்கைப் பயன்படுத்தவும்","codex.profileDropdown.todoCodelens":"TODO கருத்துகளைச் சரிசெய்க","codex.profileDropdown.todoCodelensError":"அமைப்பைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.windowsDocumentation":"Windows ஆவணப்படுத்தல்","codex.profileFooter.signedInFallback":"அமைப்புகள்","codex.profileFooter.upgrade":"மேம்படுத்தவும்","codex.recentTasksMenu.clearSearch":"தேடலை அழிக்கவும்","codex.recentTasksMenu.cloud":"கிளவுட் பணிகள்","codex.recentTasksMenu.count":"{count, plural, =0 {எந்தப் பணிகளும் நடைபெறவில்லை} one {# பணி நடந்து கொண்டிருக்கிறது} other {# பணிகள் நடந்து கொண்டிருக்கின்றன}}","codex.recentTasksMenu.empty":"இதுவரை எந்தத் தொடர்களும் இல்லை","codex.recentTasksMenu.errorCloud":"பணிகளை ஏற்ற முடியவில்லை.","codex.recentTasksMenu.errorCloud.inline":"கிளவுட் பணிகளை ஏற்ற முடியவில்லை.","codex.recentTasksMenu.filterAll":"அனைத்தும்","codex.recentTasksMenu.filterCloudTasks":"கிளவுட் பணிகளை வடிகட்டவும்","codex.recentTasksMenu.filterTooltip":"சூழலின் அடிப்படையில் பணிகளை வடிகட்டலாம்","codex.recentTasksMenu.local":"அகப் பணிகள்","codex.recentTasksMenu.recent":"எல்லா பணிகளும்","codex.recentTasksMenu.search":"சமீபத்திய பணிகளைத் தேடவும்","codex.recentTasksMenu.searchEmpty":"முடிவு இல்லை","codex.recentTasksMenu.tooltip":"பணி வரலாறு","codex.recentTasksMenu.trigger":"சமீபத்திய பணிகள். {count, plural, one {# செயலில் உள்ளது} other {# செயலில் உள்ளது}}","codex.remoteConversation.applyDiff.applyCta":"மாற்றங்களைப் பிரயோகி","codex.remoteConversation.applyDiff.dropdownTitle":"லோக்கல் பிராஞ்சில் மாற்றங்களைப் பிரயோகிக்கவும்","codex.remoteConversation.applyDiff.revertCta":"மாற்றங்களை மாற்றியமை","codex.remoteConversation.closeImagePreview":"பட முன்னோட்டத்தை மூடும்","codex.remoteConversation.codexCloudTask":"நீங்கள் ஒரு <u>Codex கிளவுட்</u> பணியைப் பார்க்கிறீர்கள்","codex.remoteConversation.errorWithMessage":"பிழை: {message}","codex.remoteConversation.loadingImage":"படத்தை ஏற்றுகிறது","codex.remoteConversation.openInWeb":"இணையத்தில் திறக்கவும்","codex.remoteConversation.streaming":"தொடங்குதல்","codex.remoteConversation.turnFailed":"இந்தப் பணியின்போது ஒரு பிழை ஏற்பட்டது","codex.remoteConversation.turnTab.loading":"முயற்சி {number}","codex.remoteConversation.turnTab.title":"முயற்சி {number}","codex.remoteConversation.userImageAttachment":"பயனர் இணைப்பு","codex.remoteConversation.viewPreviousTurns":"இணையத்தில் திறக்கவும்","codex.remoteConversation.viewPreviousTurns.buttonText":"திறக்கவும்","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"இணையத்தில் திறக்கவும்","codex.review.copyGitApplyCommand":"git apply கட்டளையை நகலெடு","codex.review.copyGitApplyCommand.toast":"கிளிப்போர்டுக்கு git apply கட்டளை நகலெடுக்கப்பட்டது","codex.review.diffTooLarge.description":"இந்த வேறுபாடு மீளாய்வில் காட்ட முடியாத அளவுக்குப் பெரியது.","codex.review.diffTooLarge.title":"வேறுபாடு, காட்ட முடியாத அளவுக்குப் பெரியதாக உள்ளது","codex.review.expandOrCollapseDiffButton.collapse":"diff-கள் அனைத்தையும் சுருக்குக","codex.review.expandOrCollapseDiffButton.expand":"diff-கள் அனைத்தையும் விரிவாக்குக","codex.review.expandOrCollapseDiffMenu.collapse":"diff-கள் அனைத்தையும் சுருக்குக","codex.review.expandOrCollapseDiffMenu.expand":"diff-கள் அனைத்தையும் விரிவாக்குக","codex.review.fileSearch.clear":"கோப்பு வடிகட்டியை அழி","codex.review.fileSearch.empty":"தற்போதைய வடிகட்டியுடன் எந்த கோப்புகளும் பொருந்தவில்லை.","codex.review.fileSearch.label":"கோப்புகளை வடிகட்டவும்","codex.review.fileSearch.placeholder":"கோப்புகளை வடிகட்டவும்…","codex.review.filesChanged":"{num, plural, =0 {No files changed} one {# file changed} other {# files changed}}","codex.review.find.loadMore":"மேலும் பொருத்தங்களை ஏற்று","codex.review.fullReview.hideFileTree":"கோப்பு அமைப்பை மறைக்குக","codex.review.fullReview.showFileTree":"கோப்பு அமைப்பைக் காட்டுக","codex.review.header.moreOptions":"விருப்பத்தேர்வுகளை மீளாய்வு செய்யும்","codex.review.largeDiff.banner":"பெரிய வேறுபாடு கண்டறியப்பட்டது - ஒரு நேரத்தில் ஒரு கோப்பைக் காட்டுகிறது.","codex.review.loadFullFiles.disable":"முழு கோப்புகளையும் ஏற்ற வேண்டாம்","codex.review.loadFullFiles.enable":"முழு கோப்புகளையும் ஏற்று","codex.review.noDiff":"கோப்பு மாற்றங்கள் இங்கே தோன்றும்","codex.review.noDiff.gitInit.createRepository":"Git களஞ்சியத்தை உருவாக்கு","codex.review.noDiff.gitInit.creating":"உருவாக்குகிறது…","codex.review.noDiff.gitInit.error":"Git init தோல்வியுற்றது: {message}","codex.review.noDiff.gitInit.success":"Git களஞ்சியம் உருவாக்கப்பட்டது","codex.review.noDiff.gitRepoRequired.description":"இந்தத் திட்டத்தில் மாற்றங்களைக் கண்காணித்து செயல்தவிர்க்கலாம்","codex.review.noDiff.gitRepoRequired.title":"ஒரு Git களஞ்சியத்தை உருவாக்கவும்","codex.review.noDiff.orNoLongerAvailable":"அல்லது சமீபத்திய diffs இனி கிடைக்காது","codex.review.noDiff.reverted":"கடைசி திருப்பம் திருப்பப்பட்டது","codex.review.noDiff.revertedOrCommitted":"கடைசி திருப்பம் திருப்பப்பட்டது அல்லது கமிட் செய்யப்பட்டுள்ளது","codex.review.refreshGitQueries":"புதுப்பி","codex.review.revert.file.error":"திருப்ப முடியவில்லை {path}","codex.review.revert.file.partialSuccess":"பகுதியளவு திருப்பப்பட்டது {path}","codex.review.revert.file.success":"திருப்பப்பட்டது {path}","codex.review.revert.hunk.error":"{path}-இல் ஹங்க் {hunkNumber}-ஐ திருப்ப முடியவில்லை","codex.review.revert.hunk.partialSuccess":"{path}-இல் {hunkNumber} பகுதியளவு திருப்பிய ஹங்க்","codex.review.revert.hunk.success":"{path}-இல் {hunkNumber} திருப்பிய ஹங்க்","codex.review.revert.section.error":"பிரிவை திருப்ப முடியவில்லை","codex.review.revert.section.partialSuccess":"பிரிவு பகுதியளவு திருப்பப்பட்டது","codex.review.revert.section.success":"பிரிவு திருப்பப்பட்டது","codex.review.revertDialog.cancel":"ரத்துசெய்","codex.review.revertDialog.confirm":"உறுதிப்படுத்துக","codex.review.revertDialog.message":"இந்தச் செயல் இந்த மாற்றங்கள் அனைத்தையும் நீக்குகிறது.","codex.review.revertDialog.skip":"மீண்டும் கேட்க வேண்டாம்","codex.review.revertDialog.title":"மாற்றங்களை மாற்றியமைக்கவா?","codex.review.richPreview.disable":"ரிச் முன்னோட்டத்தை முடக்கும்","codex.review.richPreview.enable":"ரிச் முன்னோட்டத்தை இயக்கும்","codex.review.source.cloud":"கிளவுட் மாற்றங்கள்","codex.review.source.local.all":"அனைத்து கிளை மாற்றங்களும்","codex.review.source.local.lastTurn":"கடைசி திருப்ப மாற்றங்கள்","codex.review.source.local.uncommitted":"கமிட் செய்யப்படாத மாற்றங்கள்","codex.review.source.worktree":"கமிட் செய்யாத ஒர்க்ட்ரீ மாற்றங்கள்","codex.review.stageFilter.empty.staged.description":"திருத்தங்களை ஸ்டேஜ் செய்ய, அவற்றை ஏற்கவும்","codex.review.stageFilter.empty.staged.title":"ஸ்டேஜ் செய்த மாற்றங்கள் இல்லை","codex.review.stageFilter.empty.unstaged.description":"கோடிங் மாற்றங்கள் இங்கே தோன்றும்","codex.review.stageFilter.empty.unstaged.title":"அன்ஸ்டேஜ் செய்த மாற்றங்கள் இல்லை","codex.review.stageFilter.staged":"ஸ்டேஜ் செய்தது","codex.review.stageFilter.staged.count":"ஸ்டேஜ் செய்தது · {count}","codex.review.stageFilter.unstaged":"அன்ஸ்டேஜ் செய்தது","codex.review.stageFilter.unstaged.count":"அன்ஸ்டேஜ் செய்தது · {count}","codex.review.switchToSplit":"பிரிப்பு வேறுபாட்டுக்கு மாற்று","codex.review.switchToUnified":"ஒருங்கிணைந்த diff-க்கு மாறவும்","codex.review.toggleDiffView":"diff காட்சியை நிலைமாற்று","codex.review.wordDiffs.disable":"வார்த்தை வேறுபாடுகளை முடக்கு","codex.review.wordDiffs.enable":"வார்த்தை வேறுபாடுகளை இயக்கு","codex.review.wrap.disable":"வார்த்தை மடிப்பை முடக்கு","codex.review.wrap.enable":"வார்த்தை மடிப்பை இயக்கு","codex.section.patch.missing":"இந்தப் பிரிவிற்கு பேட்ச்சை உருவாக்க முடியவில்லை.","codex.shell.collapse":"ஷெல்லைச் சுருக்கு","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"ஷெல் உள்ளடக்கங்கள் நகலெடுக்கப்பட்டன","codex.shell.copy.copyTooltip":"ஷெல் உள்ளடக்கங்களை நகலெடுக்கவும்","codex.shell.copyCommand":"கட்டளையை நகலெடுக்கலாம்","codex.shell.copyOutput":"வெளியீட்டை நகலெடுக்கலாம்","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"பேஷ்","codex.shell.expand":"ஷெல்லை விரிவாக்கு","codex.shell.name":"ஷெல்","codex.shell.noOutput":"வெளியீடு இல்லை","codex.signInFailed.message":"உள்நுழைதல் தோல்வியடைந்தது: {rawMessage}","codex.stories.toast.show":"டோஸ்டைக் காட்டவும்","codex.stories.tooltip.basic":"இது ஒரு உதவிக்குறிப்பு","codex.stories.tooltip.hoverMe":"எனக்கு மேலே செல்க","codex.stories.tooltip.largerOffset":"இந்த உதவிக்குறிப்பில் பெரிய ஆஃப்செட் உள்ளது","codex.stories.tooltip.offsetButton":"பெரிய ஆஃப்செட்","codex.stories.tooltip.shortcutButton":"குறுக்குவழியுடன்","codex.stories.tooltip.withShortcut":"டெர்மினலை நிலைமாற்றுக","codex.taskRow.title":"புதிய தொடர்","codex.taskRowLayout.confirm":"உறுதிப்படுத்துக","codex.threadFindBar.chatFilter":"அரட்டையைத் தேடு","codex.threadFindBar.close":"கண்டறிதலை மூடு","codex.threadFindBar.diffFilter":"வேறுபாடுகளைத் தேடு","codex.threadFindBar.label":"தொடரில் கண்டறியும்","codex.threadFindBar.nextResult":"அடுத்த முடிவு","codex.threadFindBar.noResults":"0 முடிவு","codex.threadFindBar.placeholder":"தொடரைத் தேடவும்…","codex.threadFindBar.placeholder.extension":"தொடரைத் தேடவும்…","codex.threadFindBar.placeholder.review":"வேறுபாடுகளைத் தேடவும்…","codex.threadFindBar.placeholder.review.extension":"வேறுபாடுகளைத் தேடவும்…","codex.threadFindBar.previousResult":"முந்தைய முடிவு","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# file changed} other {# files changed}}","codex.unifiedDiff.inlineLargeFile":"இன்லைனை ரெண்டர் செய்ய முடியாதளவு மிகப் பெரியது","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"செயல்தவிர்ககவும்","codex.unifiedDiff.revertPatchError":"மாற்றங்களை திருப்பியமைக்க முடியவில்லை","codex.unifiedDiff.revertPatchSuccess":"மாற்றங்கள் திருப்பியமைக்கப்பட்டன","codex.unifiedDiff.reviewChangesSuffix":"மாற்றங்கள்","codex.unifiedDiff.reviewShort":"மீளாய்வு செய்க","codex.unifiedDiff.viewDiffTooltip":"மீளாய்வு செய்க","codex.upsellBanner.business.headline":"இப்போது கூடுதல் அணுகலைப் பெற, உங்கள் நிர்வாகிக்கு ஒரு கோரிக்கையை அனுப்பவும் அல்லது {resetDate} வரை காத்திருக்கவும்.","codex.upsellBanner.cbp.headline":"இப்போது கூடுதல் அணுகலைப் பெற, உங்கள் நிர்வாகிக்கு ஒரு கோரிக்கையை அனுப்பவும்.","codex.upsellBanner.cta.addCredits":"கிரெடிட்களைச் சேர்த்திடுக","codex.upsellBanner.cta.upgradeAccount":"மேம்படுத்தவும்","codex.upsellBanner.cta.viewUsage":"பயன்பாட்டைக் காண்க","codex.upsellBanner.free.trialHeadline":"உங்கள் கட்டண வரம்பு {resetDate}-இல் மீட்டமைக்கப்படும். Codex-ஐத் தொடர்ந்து பயன்படுத்துவதற்கும் GPT-5.3-Codex அணுகுவதற்கும், இன்றே உங்கள் இலவச Plus-ஐத் தொடங்குங்கள்.","codex.upsellBanner.freeOrGo.headline":"உங்கள் கட்டண வரம்பு {resetDate} அன்று மீட்டமைக்கப்படும். Codex-ஐத் தொடர்ந்து பயன்படுத்த, இன்றே Plusக்கு மேம்படுத்தவும்.","codex.upsellBanner.general.headline":"உங்கள் கட்டண வரம்பு {resetDate} அன்று மீட்டமைக்கப்படும்.","codex.upsellBanner.general.title":"உங்களின் Codex செய்தி வரம்பு தீர்ந்துவிட்டது","codex.upsellBanner.go.trialHeadline":"உங்கள் கட்டண வரம்பு {resetDate}-இல் மீட்டமைக்கப்படும். தொடர்ந்து Codex பயன்படுத்த, இன்றே உங்கள் Plus-இன் இலவச சோதனையைத் தொடங்குங்கள்.","codex.upsellBanner.plus.headline":"உங்கள் கட்டண வரம்பு {resetDate} அன்று மீட்டமைக்கப்படும். Codex-ஐத் தொடர்ந்து பயன்படுத்த, இன்றே கிரெடிட்களைச் சேர்க்கவும் அல்லது Proக்கு மேம்படுத்தவும்.","codex.upsellBanner.pro.headline":"உங்கள் கட்டண வரம்பு {resetDate} அன்று மீட்டமைக்கப்படும். Codex-ஐ இப்போது தொடர்ந்து பயன்படுத்த கிரெடிட்களைச் சேர்க்கவும்.","codex.userMessage.autoResolveSync":"முரண்பாடுகளைத் தானாகத் தீர்த்தல்","codex.userMessage.commentCount":"{count, plural, one {# கருத்து} other {# கருத்துகள்}}","codex.userMessage.copiedAriaLabel":"நகலெடுக்கப்பட்டது","codex.userMessage.copiedTooltip":"நகலெடுக்கப்பட்டது","codex.userMessage.copyAriaLabel":"செய்தியை நகலெடுக்கவும்","codex.userMessage.copyTooltip":"நகலெடுக்கவும்","codex.userMessage.implementPlan":"திட்டத்தை அமல்படுத்துதல்","codex.userMessage.noContent":"(உள்ளடக்கம் இல்லை)","codex.userMessage.priorConversation":"முந்தைய உரையாடல்களில் குறிப்பெடுக்கும்","codex.userMessage.reviewMode":"மீளாய்வு பயன்முறை","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}க்கு","codex.webSearch.summary.verb.completed":"இணையத்தில் தேடியது","codex.webSearch.summary.verb.inProgress":"இணையத்தில் தேடுகிறது","codex.windowsInstallWslBanner.dismiss":"நிராகரிக்கவும்","codex.windowsInstallWslBanner.installWslCta":"சாண்ட்பாக்ஸை இயக்குக","codex.windowsInstallWslBanner.learnMore":"மேலும் அறிக","codex.windowsSandboxBanner.content":"கோப்பு முறைமை மற்றும் நெட்வொர்க் அணுகலைக் கட்டுப்படுத்த, ஏஜன்ட் பயன்முறை Windows-இல் ஒரு பரீட்சார்த்த சாண்ட்பாக்ஸைப் பயன்படுத்துகிறது. {sandboxLink}","codex.windowsSandboxBanner.title":"ஏஜன்ட் பயன்முறைக்கு சாண்ட்பாக்ஸை இயக்கவும்","codex.windowsSubDropdown.windowsSandbox":"Windows சாண்ட்பாக்ஸ்","codex.windowsSubDropdown.windowsSettings":"Windows அமைப்புகள்","codexUpgradeModal.body":"எங்கள் சமீபத்திய முன்னோடி ஏஜன்ட் கோடிங் மாடல் - பொதுவான தொழில்நுட்ப வேலைகளில் புத்திசாலி, வேகமான மற்றும் அதிக திறன் கொண்டது. {link}","codexUpgradeModal.close":"மூடுக","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"மேலும் அறிக","codexUpgradeModal.title":"அறிமுகப்படுத்துகிறோம் GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"இப்போதே GPT-5.3-Codex முயற்சித்திடுங்கள்","codexUpgradeModal.useExistingModel":"தற்போதைய மாடலுடன் தொடரவும்","commentAttachments.numComments":"{count, plural, one {# கருத்து} other {# கருத்துகள்}}","commentAttachments.removeAriaLabel":"கருத்துகள் இணைப்பை அகற்றும்","common.close":"மூடுக","composer.addContext.openFilePickerError":"கோப்புத் தேர்வியைத் திறக்க முடியவில்லை","composer.addContextDropdown.ariaLabel":"கோப்புகளையும் மேலும் பலவற்றையும் சேர்","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"கோப்புகளையும் மேலும் பலவற்றையும் சேர்","composer.addPhotosAndFiles":"புகைப்படங்கள் மற்றும் கோப்புகளைச் சேர்","composer.atMentionList.emptyQuery":"கோப்புகளைத் தேட டைப் செய்யவும்","composer.atMentionList.loading":"தேடுகிறது...","composer.atMentionList.noResults":"முடிவுகள் இல்லை","composer.attemptsSelector.option":"{count, plural, one {# version} other {# versions}}","composer.attemptsSelector.tooltip":"Codex செய்ய வேண்டிய இணையான முயற்சிகளின் எண்ணிக்கை","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"நிறுத்து","composer.cloudFollowUp.cloud":"கிளவுட்","composer.cloudFollowUp.local":"அகம்","composer.cloudFollowUp.whereRun":"இந்தப் பின்தொடர்தல் எங்கு இயங்க வேண்டும்?","composer.cloudTaskCreationError":"கிளவுட் பணியை உருவாக்குவதில் பிழை","composer.cloudTaskError":"பணியை உருவாக்குவதில் பிழை","composer.contextWindow.autoCompactionTooltipLine1":"Codex தானாகவே அதன் சூழலைச் சுருக்குகிறது","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"சூழல் சாளரம்:","composer.contextWindowUsageStatusFull":"{usage}% நிரம்பியது","composer.contextWindowUsageStatusLeft":"{usage}% பயன்படுத்தப்பட்டது ({remaining}% மீதமுள்ளது)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k டோக்கன்கள் பயன்படுத்தப்பட்டன","composer.customCliTooltip":"தனிப்பயன் CLI இயங்கக்கூடியதைப் பயன்படுத்துதல்","composer.dictation.aria":"சொல்வதெழுது","composer.dictation.cancel.aria":"சொல்வதெழுதலை நிறுத்து","composer.dictation.cancel.tooltip":"சொல்வதெழுதலை நிறுத்து","composer.dictation.startError":"சொல்வதெழுதலைத் தொடங்க முடியவில்லை","composer.dictation.submit.aria":"டிரான்ஸ்கிரைப் செய்து அனுப்பும்","composer.dictation.submit.tooltip":"டிரான்ஸ்கிரைப் செய்து அனுப்பலாம்","composer.dictation.tooltip":"சொல்வதெழுத அழுத்திப் பிடிக்கவும்","composer.dictation.transcribeError":"ஆடியோவை டிரான்ஸ்கிரைப் செய்ய முடியவில்லை","composer.dictation.unsupported":"இந்தச் சாதனத்தில் சொல்வதெழுதும் வசதி இல்லை","composer.dropOverlay.holdShift":"{key}-ஐப் பிடித்துக் கொண்டு கீழே விடவும்","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"புதியதை உருவாக்கு","composer.environmentSelector.error":"சூழல்களை ஏற்றுவதில் பிழை","composer.environmentSelector.goBack":"கம்போசருக்குத் திரும்பும்","composer.environmentSelector.title":"சூழலைத் தேர்ந்தெடுக்கவும்","composer.environmentSelector.tooltip":"கிளவுட் சூழலைத் தேர்ந்தெடுங்கள்","composer.feedbackSlashCommand.title":"பின்னூட்டம்","composer.filePicker.selectFile":"கோப்பைத் தேர்ந்தெடுக்கவும்","composer.filePicker.selectFiles":"கோப்புகளைத் தேர்ந்தெடுக்கவும்","composer.followerTooltip":"தொடர, இந்த உரையாடல் தொடங்கிய சாளரத்திற்குத் திரும்பிச் செல்லவும்.","composer.footer.branchSwitch.checkoutError":"கிளையை மாற்ற முடியவில்லை: {message}","composer.footer.branchSwitch.createAndCheckout":"புதிய கிளையை உருவாக்கி செக் அவுட் செய்யவும்…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"புதிய கிளையை உருவாக்கி செக் அவுட் செய்ய, மாற்றங்களை கமிட் செய்யவும்","composer.footer.branchSwitch.createBranchError":"கிளையை உருவாக்க முடியவில்லை: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"கிளைப் பெயர்","composer.footer.branchSwitch.createDialog.branchExistsError":"கிளை ஏற்கெனவே உள்ளது.","composer.footer.branchSwitch.createDialog.close":"மூடுக","composer.footer.branchSwitch.createDialog.createAndCheckout":"உருவாக்கி செக் அவுட் செய்","composer.footer.branchSwitch.createDialog.placeholder":"புதிய-கிளை","composer.footer.branchSwitch.createDialog.title":"கிளையை உருவாக்கி செக் அவுட் செய்யவும்","composer.footer.branchSwitch.createDialog.trailingSlashError":"கிளை பெயர் “/” உடன் முடியக் கூடாது.","composer.footer.branchSwitch.tooltip":"கிளையை மாற்றுக","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName}-ஐ செக் அவுட் செய்ய {fileCount, plural, one {# file} other {# கோப்புகள்}}-இல் மாற்றங்களை கமிட் செய்யவும்.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"கமிட் செய்","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName}-ஐ செக் அவுட் செய்ய {fileCount, plural, one {# file} other {# கோப்புகள்}}-இல் மாற்றங்கள்.","composer.footer.branchSwitch.uncommittedDialog.cancel":"ரத்துசெய்","composer.footer.branchSwitch.uncommittedDialog.commit":"கிளையை கமிட் செய்து மாற்றவும்…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"பின்வரும் கோப்புகளில் நீங்கள் செய்யும் மாற்றங்கள் செக் அவுட்டால் மேலெழுதப்படும்:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"தொடர உங்கள் மாற்றங்களை கமிட் செய்திடுங்கள்","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"தேர்ந்தெடுக்கப்பட்ட கிளை","composer.footer.branchSwitch.uncommittedDialog.title":"கிளையை மாற்ற, மாற்றங்களை கமிட் செய்யவும்","composer.footer.branchSwitch.uncommittedSummaryPrefix":"கமிட் செய்யாதது: {fileCount, plural, one {# file} other {# கோப்புகள்}}","composer.forkSlashCommand.description":"இந்தத் தொடரை லோக்கல் அல்லது புதிய ஒர்க்ட்ரீயில் ஃபோர்க் செய்யலாம்","composer.forkSlashCommand.option.local.description":"புதிய லோக்கல் தொடரில் தொடரவும்","composer.forkSlashCommand.option.local.title":"லோக்கலுக்கு ஃபோர்க் செய்யவும்","composer.forkSlashCommand.option.worktree.description":"புதிய ஒர்க்ட்ரீயில் தொடரவும்","composer.forkSlashCommand.option.worktree.title":"புதிய ஒர்க்ட்ரீக்கு ஃபோர்க் செய்யவும்","composer.forkSlashCommand.title":"ஃபோர்க்","composer.ideContextIndicator":"IDE சூழல்","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDEயிலிருந்து சூழலைச் சேர்க்கவும்","composer.ideContextIndicator.tooltipToggle":"நிலைமாற்ற","composer.ideContextSlashCommand.disableDescription":"IDE சூழலை ஆஃப் செய்","composer.ideContextSlashCommand.enableDescription":"உங்கள் IDEயிலிருந்து தற்போதைய தேர்வு, திறந்த கோப்புகள் மற்றும் பிற சூழலைச் சேர்க்கவும்.","composer.ideContextSlashCommand.title":"IDE சூழல்","composer.imageInputsUnsupported":"இந்த மாடல், பட உள்ளீடுகளை ஆதரிக்கவில்லை. வேறு மாடலை முயற்சிக்கவும்.","composer.imageUploadFailed":"படத்தைப் பதிவேற்ற முடியவில்லை","composer.includeIdeContextDropdown":"IDE சூழலைச் சேர்","composer.includeIdeContextDropdown.ariaLabel":"IDE சூழலைச் சேர்","composer.localCwdDropdown.addWorkspaceRoot":"புதிய திட்டத்தைச் சேர்","composer.localCwdDropdown.noActiveRoot":"உங்கள் திட்டத்தைத் தேர்ந்தெடுக்கவும்","composer.localCwdDropdown.noResults":"கோப்புறைகள் எதுவும் கிடைக்கவில்லை","composer.localCwdDropdown.title":"உங்கள் திட்டத்தைத் தேர்ந்தெடுக்கவும்","composer.localTaskError":"உரையாடலைத் தொடங்குவதில் பிழை","composer.mcpSlashCommand.description":"MCP சேவையக நிலையைக் காட்டு","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"அங்கீகரிக்கப்படவில்லை","composer.mcpStatus.authOauth":"அங்கீகரிக்கப்பட்டது (OAuth)","composer.mcpStatus.authToken":"அங்கீகரிக்கப்பட்டது (API விசை)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"மூடுக","composer.mcpStatus.disabled":"முடக்கப்பட்டது","composer.mcpStatus.emptyLabel":"சேவையகங்கள்:","composer.mcpStatus.emptyValue":"எந்த MCP சேவையகங்களும் உள்ளமைக்கப்படவில்லை","composer.mcpStatus.enabled":"இயக்கப்பட்டது","composer.mcpStatus.errorLabel":"நிலை:","composer.mcpStatus.errorValue":"MCP நிலையை ஏற்ற முடியவில்லை","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ஏஜென்ட்","composer.mode.agentMode.auto.dropdownLabel":"ஏஜென்ட்","composer.mode.agentMode.auto.optionLabel":"ஏஜென்ட்","composer.mode.agentMode.changePermission":"பயன்முறையை மாற்றுக","composer.mode.agentMode.custom":"தனிப்பயன்","composer.mode.agentMode.custom.dropdownLabel":"தனிப்பயன்","composer.mode.agentMode.custom.option":"தனிப்பயன் (config.toml)","composer.mode.agentMode.custom.optionLabel":"தனிப்பயன் (config.toml)","composer.mode.agentMode.customInfo.cancel":"ரத்துசெய்க","composer.mode.agentMode.customInfo.cli":"நீங்கள் அந்த அமைப்புகளை CLI -இலிருந்து அல்லது கோப்பை நேரடியாகத் திருத்துவதன் மூலம் சரிசெய்யலாம்.","composer.mode.agentMode.customInfo.confirm":"தனிப்பயன் பயன்முறையைப் பயன்படுத்துக","composer.mode.agentMode.customInfo.description":"உங்களின் இதில் வரையறுக்கப்பட்ட ஒப்புதல் மற்றும் சாண்ட்பாக்ஸ் கொள்கைகளை தனிப்பயன் பயன்முறை பயன்படுத்துகிறது:<link>config.toml</link> கோப்பு.","composer.mode.agentMode.customInfo.docs":"ஒப்புதல் மற்றும் சாண்ட்பாக்ஸ் கொள்கைகளை உள்ளமைப்பது பற்றி இதில் மேலும் தெரிந்துகொள்ளவும்:<link>செயல்படுத்தல் சூழல் ஆவணங்கள்</link>.","composer.mode.agentMode.customInfo.refresh":"எந்த மாற்றங்களும் அடுத்த முறை ஏஜன்ட் இயங்கும்போது அமலுக்கு வரும்.","composer.mode.agentMode.customInfo.title":"தனிப்பயன் பயன்முறை எப்படிச் செயல்படுகிறது","composer.mode.agentMode.fullAccess":"ஏஜன்ட் (முழு அணுகல்)","composer.mode.agentMode.fullAccess.dropdownLabel":"ஏஜன்ட் (முழு அணுகல்)","composer.mode.agentMode.fullAccess.optionLabel":"ஏஜன்ட் (முழு அணுகல்)","composer.mode.agentMode.fullAccessConfirm.caution":"முழு அணுகலை இயக்கும்போது எச்சரிக்கையாக இருங்கள். இது தரவு இழப்பு, கசிவுகள் அல்லது எதிர்பாராத நடத்தைக்கான அபாயத்தை கணிசமாக அதிகரிக்கிறது.","composer.mode.agentMode.fullAccessConfirm.confirm":"ஆம், எப்படியும் தொடரவும்","composer.mode.agentMode.fullAccessConfirm.description":"Codex முழு அணுகலுடன் இயங்கும்போது, அது உங்கள் கணினியில் உள்ள எந்தக் கோப்பையும் திருத்த முடியும் மற்றும் உங்கள் ஒப்புதல் இல்லாமலேயே நெட்வொர்க்குடன் கட்டளைகளை இயக்க முடியும்.","composer.mode.agentMode.fullAccessConfirm.goBack":"ரத்துசெய்க","composer.mode.agentMode.fullAccessConfirm.title":"முழு அணுகலை இயக்கவா?","composer.mode.agentMode.readOnly":"அரட்டை","composer.mode.agentMode.readOnly.dropdownLabel":"அரட்டை","composer.mode.agentMode.readOnly.optionLabel":"அரட்டை","composer.mode.agentMode.tooltip":"பயன்முறையை மாற்றுக","composer.mode.agentMode.tooltip.auto":"கோப்புகளைப் படிக்கலாம் மற்றும் திருத்தலாம், கட்டளைகளை இயக்கலாம்.","composer.mode.agentMode.tooltip.custom":"config.toml -இல் வரையறுக்கப்பட்ட சமீபத்திய ஒப்புதல் மற்றும் சாண்ட்பாக்ஸ் கொள்கைகளைப் பயன்படுத்தவும்.","composer.mode.agentMode.tooltip.fullAccess":"Codex இந்தத் திட்டத்திற்கு வெளியே கோப்புகளைத் திருத்தலாம் மற்றும் நெட்வொர்க் அணுகலுடன் கட்டளைகளை இயக்கலாம். பயன்படுத்தும்போது எச்சரிக்கையாக இருங்கள்.","composer.mode.agentMode.tooltip.readOnly":"கோப்புகளைத் திருத்துவதற்கும் கட்டளைகளை இயக்குவதற்கும் ஒப்புதல் தேவை.","composer.mode.cloud.tooltip":"கிளவுட் சூழலில் வேலை செய்யுங்கள்","composer.mode.contactAdmin":"கூடுதல் அணுகலைப் பெற, உங்கள் நிர்வாகியைத் தொடர்பு கொள்ளவும்.","composer.mode.local":"அகம்","composer.mode.local.learnMore":"மேலும் அறிக","composer.mode.local.model.custom":"தனிப்பயன்","composer.mode.local.model.loadingModel":"மாடலை ஏற்றுதல்","composer.mode.local.model.selecrReasoningEffort":"காரணவிளக்கமளித்தலைத் தேர்ந்தெடுக்கவும்","composer.mode.local.model.selectModel":"மாதிரியைத் தேர்ந்தெடுக்கவும்","composer.mode.local.model.tooltip":"மாடலைத் தேர்வுசெய்க","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"உயர்வு","composer.mode.local.reasoning.low.label":"குறைவு","composer.mode.local.reasoning.medium.label":"நடுநிலை","composer.mode.local.reasoning.minimal.label":"குறைந்தபட்சம்","composer.mode.local.reasoning.none.label":"எதுவுமில்லை","composer.mode.local.reasoning.xhigh.label":"கூடுதல் உயர்வு","composer.mode.localRemoteWhereRun":"பணியை எங்கு இயக்க வேண்டும் என்பதைத் தேர்ந்தெடுங்கள்","composer.mode.newTask.header":"இதில் தொடர்க","composer.mode.rateLimit.day":"{days}நா","composer.mode.rateLimit.heading":"மீதமுள்ள கட்டண வரம்புகள்","composer.mode.rateLimit.hour":"{hours}ம","composer.mode.rateLimit.minute":"{minutes}நி","composer.mode.rateLimit.modelSectionLabel":"{modelName} வரம்பு:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {weekly limit} other {{weeks} week limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Weekly} other {{weeks} Week}}","composer.mode.remote.connectToCloud":"Codex வெப்பை இணைக்கவும்","composer.mode.remote.connectToCloudDisabledTooltip":"கிளவுடுக்கு பணிகளை அனுப்புவதை இயக்க Codex வெப் வழியாக ஒரு சூழலை அமைக்கவும்","composer.mode.remote.selectEnvironment":"சூழலைத் தேர்ந்தெடுக்கவும்","composer.mode.remote.sendToCloud":"கிளவுடுக்கு அனுப்பு","composer.mode.remote.setupViaWeb":"Codex வெப் வழியாக ஒரு சூழலை அமைக்கவும்","composer.mode.runInCloud":"கிளவுட்","composer.mode.runInCloudWithEnvironment":"கிளவுட் · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"கிளவுட் சூழலில் வேலை செய்யுங்கள்","composer.mode.segmentedToggle.local.tooltip":"உங்கள் லோக்கல் திட்டத்தில் வேலை செய்யுங்கள்","composer.mode.segmentedToggle.worktree.tooltip":"இணையான ஒர்க்ட்ரீயில் வேலை செய்யுங்கள்","composer.mode.upgradeToPlus":"Plus -க்கு மேம்படுத்தவும்","composer.mode.upgradeToPro":"Proக்கு மேம்படுத்துக","composer.mode.workLocally":"லோக்கல் திட்டம்","composer.mode.workLocally.currentBranchFallback":"உங்கள் பிராஞ்ச்","composer.mode.workLocally.tooltip":"{branchName}-இல் வேலை செய்யவும்","composer.mode.worktree":"புதிய பணிப்பிரிவு","composer.mode.worktree.submoduleWarning":"இந்தக் களஞ்சியத்தில் git சப்மாட்யூல்கள் உள்ளன. ஒர்க்ட்ரீ உருவாக்கம் தோல்வியடையக்கூடும்","composer.mode.worktree.tooltip":"இணையாக வேலை செய்ய உங்கள் லோக்கல் திட்டத்தின் நகலை உருவாக்கவும்","composer.mode.worktreeSegment":"பணிப்பிரிவு","composer.modelChangeDuringConversationWarning.toast":"உரையாடலின் நடுவில் மாடல்களை மாற்றுவது செயல்திறனைக் குறைக்கும்.","composer.newChat.heading.browser":"அடுத்து என்ன கோடிங் செய்ய வேண்டும்?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex, config.toml -இல் வரையறுக்கப்பட்ட அனுமதியைப் பயன்படுத்துகிறது.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"உங்கள் கம்ப்யூட்டரில் Codexக்கு முழு அணுகல் உள்ளது (அதிகரித்த அபாயம்)","composer.permissionsDropdown.custom.label":"தனிப்பயன் (config.toml)","composer.permissionsDropdown.custom.optionLabel":"தனிப்பயன் (config.toml)","composer.permissionsDropdown.default.label":"இயல்பு அனுமதிகள்","composer.permissionsDropdown.default.optionLabel":"இயல்பு அனுமதிகள்","composer.permissionsDropdown.default.tooltip":"Codex தானாகவே சாண்ட்பாக்ஸில் கட்டளைகளை இயக்குகிறது","composer.permissionsDropdown.disabled.requirements":"அனுமதிகள் requirements.toml -ஆல் பூட்டப்பட்டுள்ளன","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml ஆல் முழு அணுகல் முடக்கப்பட்டுள்ளது","composer.permissionsDropdown.fullAccess.label":"முழு அணுகல்","composer.permissionsDropdown.fullAccess.optionLabel":"முழு அணுகல்","composer.permissionsDropdown.trigger.tooltip":"அனுமதிகளை மாற்றலாம்","composer.personalitySlashCommand.description.friendly":"கனிவானது, ஒத்துழைப்புமிக்கது, உதவிகரமானது","composer.personalitySlashCommand.description.pragmatic":"சுருக்கமானது, பணியை மையமாகக் கொண்டது, நேரடியானது","composer.personalitySlashCommand.label.friendly":"நட்பானது","composer.personalitySlashCommand.label.pragmatic":"நடைமுறைக்கேற்ப","composer.personalitySlashCommand.notApplicableSuffix":"(தற்போதைய மாடலுக்குப் பொருந்தாது)","composer.personalitySlashCommand.title":"ஆளுமை","composer.placeholder.cloudFollowUp.directFollowUp":"இந்தக் கிளவுட் பணிக்கான பின்தொடரல்","composer.placeholder.cloudFollowUp.local":"இந்தக் கிளவுட் பணியைக் குறிப்பிடும் புதிய லோக்கல் பணியை உருவாக்கவும்","composer.placeholder.cloudFollowUp.workingTree":"உங்கள் தற்போதைய குறியீட்டை உள்ளடக்கிய ஒரு புதிய கிளவுட் பணியை உருவாக்கவும், இந்தப் பணியைக் குறிப்பிடும்","composer.placeholder.localFollowUp.cloud":"ஒரு புதிய கிளவுட் பணியில் பின்தொடரல்","composer.placeholder.localFollowUp.locally":"பின்தொடர்தல் மாற்றங்களைக் கேளுங்கள்","composer.placeholder.newTask.cloud":"கிளவுட்டில் எதையும் செய்ய Codex-ஐக் கேளுங்கள்","composer.placeholder.newTask.doAnything":"Codex-ஐ எதையும் செய்யச் சொல்லவும்","composer.placeholder.newTask.locally":"Codex-இடம் எதையும் கேளுங்கள், கோப்புகளைச் சேர்க்க @, கட்டளைகளுக்கு /","composer.planModeDropdown":"திட்டப் பயன்முறை","composer.planModeDropdown.ariaLabel":"திட்டப் பயன்முறை","composer.planModeIndicator":"திட்டம்","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex-ஐப் பயன்படுத்தி ஒரு திட்டத்தை உருவாக்குங்கள்","composer.planModeIndicator.tooltipToggle":"நிலைமாற்ற","composer.planSlashCommand.disableDescription":"திட்டப் பயன்முறையை ஆஃப் செய்யவும்","composer.planSlashCommand.enableDescription":"திட்டப் பயன்முறையை ஆன் செய்யவும்","composer.planSlashCommand.title":"திட்டப் பயன்முறை","composer.priorContext.label":"முந்தைய சூழல்","composer.priorContext.removeAriaLabel":"முந்தைய சூழலை அகற்றும்","composer.queuedMessage.delete":"வரிசையில் உள்ள செய்தியை நீக்கும்","composer.queuedMessage.edit":"செய்தியை திருத்தவும்","composer.queuedMessage.more":"வரிசைப்படுத்தப்பட்ட செய்தி நடவடிக்கைகள்","composer.queuedMessage.sendNow":"திசைமாற்று","composer.queuedMessage.sendNowTooltip":"வேலைக்கு இடையூறு செய்யாமல் இப்போதே அனுப்பலாம்","composer.queuedMessage.turnOff":"வரிசைப்படுத்தலை ஆஃப் செய்","composer.reasoningEffort.local.reasoning.tooltip":"காரணவிளக்கமளித்தல் முயற்சியைத் தேர்ந்தெடுக்கவும்","composer.remote.branchStartingPoint":"இந்தப் பணி எந்தக் கிளையிலிருந்து தொடங்க வேண்டும்?","composer.remote.branchesSectionHeading":"கிளைகள்","composer.remote.currentEditsSuffix.followUp":"இந்தக் கிளவுட் பணியைக் குறிப்பிடும் புதிய பணியை உருவாக்கவும்.","composer.remote.currentEditsSuffix.useLocal":"லோக்கல் கோடிங் மாற்றங்களுடன்","composer.remote.directFollowUp":"லோக்கல் மாற்றங்களைப் பயன்படுத்த வேண்டாம்.","composer.remote.errorLoadingBranches":"கிளைகளை ஏற்றுவதில் பிழை","composer.remote.fromBranch":"{branch} இலிருந்து","composer.remote.fromCurrentBranch":"{branch}-இலிருந்து (நடப்பு)","composer.remote.loadingMoreBranches":"ஏற்றுகிறது…","composer.remote.localFileStateHeading":"லோக்கல் கோப்பு நிலை","composer.remote.localWorkingTree":"லோக்கல் மாற்றங்களைப் பயன்படுத்தவும்","composer.remote.startingPoint":"இந்தப் பணி எந்த கோடிங்கிலிருந்து தொடங்க வேண்டும்?","composer.reviewMode.branches.error":"கிளைகளை ஏற்ற முடியவில்லை","composer.reviewMode.branches.retry":"மீண்டும் முயற்சிக்கவும்","composer.reviewMode.gitRoot.error":"Git ரூட் கிடைக்கவில்லை","composer.reviewMode.option.baseBranch.simple":"அடிப்படைக் கிளைக்கு எதிராக மீளாய்வு செய்க","composer.reviewMode.option.unstaged.simple":"செய்யப்படாத மாற்றங்களை மீளாய்வு செய்க","composer.reviewMode.quickReviewError":"கோடிங் மீளாய்வைத் தொடங்க முடியவில்லை.","composer.reviewMode.title":"குறியீடு மீளாய்வு","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml ஆல் முழு அணுகல் முடக்கப்பட்டுள்ளது","composer.sandboxButton.windowsSandboxDialog.content":"கோப்பு முறைமை மற்றும் நெட்வொர்க் அணுகலைக் கட்டுப்படுத்த Codex, Windowsல் ஒரு சோதனை சாண்ட்பாக்ஸைப் பயன்படுத்தலாம். {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows சாண்ட்பாக்ஸைச் செயல்படுத்தவா?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"படிக்க-மட்டும் பயன்முறையைப் பயன்படுத்து","composer.searchEnvironments":"சூழல்களைத் தேடவும்","composer.skillMentionList.app":"செயலி","composer.skillMentionList.loading":"ஸ்கில்களை ஏற்றுகிறது...","composer.skillMentionList.noResults":"ஸ்கில்கள் எதுவுமில்லை","composer.slashCommands.cloudEnvironment.title":"கிளவுட் சூழல்","composer.slashCommands.dialogLabel":"ஸ்லாஷ் கட்டளை மெனு","composer.slashCommands.dialogTitle":"ஸ்லாஷ் கட்டளைகள்","composer.slashCommands.disabledTooltip":"ஸ்லாஷ் கட்டளைகளைப் பயன்படுத்த புதிய உரையாடலைத் தொடங்கவும்","composer.slashCommands.inputPlaceholder":"தேடவும்","composer.slashCommands.noResults":"கட்டளைகள் இல்லை","composer.slashCommands.skillsGroup":"திறன்கள்","composer.slashCommands.tooltip":"ஸ்லாஷ் கட்டளைகளை உலாவுக","composer.status.close":"மூடுக","composer.statusPlain.alertLabel":"விழிப்பூட்டல்:","composer.statusPlain.alertValue":"{window}-இல் {remaining}% மீதமுள்ளது ","composer.statusPlain.contextLabel":"சூழல்","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} பயன்படுத்தப்பட்டது / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% மீதமுள்ளது","composer.statusPlain.heading":"நிலை","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} வரம்பு:","composer.statusPlain.rateLimitDays":"{count} நாள் வரம்பு","composer.statusPlain.rateLimitFallbackLabel":"விகித வரம்பு:","composer.statusPlain.rateLimitHours":"{count} மநே வரம்பு","composer.statusPlain.rateLimitLabelBase":"விகித வரம்பு","composer.statusPlain.rateLimitMinutes":"{count} நிமிட வரம்பு","composer.statusPlain.rateLimitPercent":"{remaining}% மீதமுள்ளது","composer.statusPlain.rateLimitReset":"மீட்டமைக்கிறது {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"மீட்டமைப்பு நேரம் கிடைக்கவில்லை","composer.statusPlain.rateLimitUnavailable":"கிடைக்கவில்லை","composer.statusPlain.sessionCopiedAriaLabel":"அமர்வு ஐடி நகலெடுக்கப்பட்டது","composer.statusPlain.sessionCopiedTooltip":"நகலெடுக்கப்பட்ட ஐடி","composer.statusPlain.sessionCopyAriaLabel":"அமர்வு ஐடியை நகலெடுக்கும்","composer.statusPlain.sessionCopyTooltip":"ஐடியை நகலெடுக்கவும்","composer.statusPlain.sessionLabel":"அமர்வு:","composer.statusSlashCommand.description":"தொடரின் ஐடி, சூழல் பயன்பாடு மற்றும் விகித வரம்புகளைக் காட்டும்","composer.statusSlashCommand.title":"நிலை","composer.submit.blockedDialogOk":"சரி","composer.submit.blockedDialogTitle":"செய்தி அனுப்ப முடியவில்லை","composer.submit.emptyMessage":"தொடங்குவதற்கு ஒரு செய்தியை உள்ளிடவும்","composer.submit.imageInputsUnsupported":"இந்தச் செய்தியை அனுப்ப படங்களை அகற்றவும் அல்லது மாடல்களை மாற்றவும்.","composer.submit.loadingLocalConfig":"ஏற்றுகிறது…","composer.submit.missingCloudConfig":"நீங்கள் ஒரு கிளவுட் சூழலைத் தேர்ந்தெடுக்க வேண்டும்","composer.submit.missingCloudTurn":"இந்தப் பணியைப் பின்தொடர முடியாது","composer.submit.noWorkspace":"Codex-ஐப் பயன்படுத்த ஒரு திட்டத்தைச் சேர்க்கவும்","composer.submit.waitForImageUploads":"படங்களைப் பதிவேற்றுதல்…","composer.submitButtonTooltip.send":"அனுப்பு","composer.submitButtonTooltip.stop":"நிறுத்து","composer.worktreeEnvironment.create":"லோக்கல் சூழலை உருவாக்கு","composer.worktreeEnvironment.default":"இயல்புநிலை சூழல்","composer.worktreeEnvironment.error":"சூழல்களை ஏற்றுவதில் பிழை","composer.worktreeEnvironment.loading":"சூழலை ஏற்றுகிறது…","composer.worktreeEnvironment.title":"லோக்கல் சூழல்","composer.worktreeEnvironment.tooltip":"லோக்கல் சூழலைத் தேர்ந்தெடுக்கவும்","composer.worktreeSetupFailed":"ஒர்க்ட்ரீ அமைப்பு தோல்வியடைந்தது. அமைப்பு ஸ்கிரிப்டுக்கு .codex/environments ஐப் பாருங்கள்.","compoundButton.secondaryAction":"இரண்டாம் நிலை நடவடிக்கை","copyButton.copied":"நகலெடுக்கப்பட்டது","copyButton.copiedAriaLabel":"நகலெடுக்கப்பட்டது","copyButton.copy":"நகலெடுக்கவும்","copyButton.copyAriaLabel":"நகலெடுக்கவும்","copyButton.copyCode":"குறியீட்டை நகலெடுக்கவும்","diff.actionButton.revertFile":"கோப்பை மாற்றியமைக்கலாம்","diff.actionButton.revertHunk":"திரும்பவும்","diff.actionButton.revertSection":"எல்லாம் திரும்பலாம்","diff.actionButton.revertSectionLabel":"எல்லாம் திருப்பு","diff.actionButton.stageFile":"கோப்பை ஸ்டேஜ் செய்யலாம்","diff.actionButton.stageHunk":"ஸ்டேஜ் செய்யலாம்","diff.actionButton.stageSection":"எல்லாம் ஸ்டேஜ் செய்யலாம்","diff.actionButton.stageSectionLabel":"எல்லாம் ஸ்டேஜ் செய்","diff.actionButton.unstageFile":"கோப்பை அன்ஸ்டேஜ் செய்யலாம்","diff.actionButton.unstageHunk":"அன்ஸ்டேஜ் செய்யலாம்","diff.actionButton.unstageSection":"எல்லாம் அன்ஸ்டேஜ் செய்யலாம்","diff.actionButton.unstageSectionLabel":"எல்லாம் அன்ஸ்டேஜ் செய்","diff.fileHeader.toggle":"கோப்பு வேறுபாட்டை மாற்று","electron.onboarding.login.apikey.cancel":"ரத்துசெய்","electron.onboarding.login.apikey.continue":"தொடர்க","electron.onboarding.login.apikey.label":"OpenAI API விசை","electron.onboarding.login.apikey.open":"API விசையை உள்ளிடு","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"உள்நுழைவை ரத்துசெய்க","electron.onboarding.login.chatgpt.continue":"ChatGPT -உடன் தொடரவும்","electron.onboarding.login.devbox":"ரிமோட் SSH -உடன் இணைக்கவும்","electron.onboarding.login.error":"உள்நுழைதல் தோல்வியடைந்தது: {rawMessage}","electron.onboarding.login.snake.start":"பாம்பு கேம் விளையாடலாம்","electron.onboarding.login.sshConfig.cancel":"ரத்துசெய்","electron.onboarding.login.sshConfig.continue":"தொடர்க","electron.onboarding.login.sshConfig.hostnameLabel":"SSH ஹோஸ்ட்பெயர்","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ஏஜன்ட்களுடன் கட்டமைக்க சிறந்த வழி","electron.onboarding.login.title":"Codex-க்கு வரவேற்கிறோம்","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"தொடர்க","electron.onboarding.welcome.doubleLimits.description":"Codex செயலி அறிமுகப்படுத்தப்பட்டதைக் கொண்டாடும் விதமாக, ஏப்ரல் 2 வரை உங்களுக்கு 2× கட்டண வரம்புகள் உள்ளன.","electron.onboarding.welcome.freego.description":"மார்ச் 2 வரை உங்கள் திட்டத்தில் இலவசமாக Codex சேர்க்கப்பட்டுள்ளது - ஒன்றாக உருவாக்கத் தொடங்குவோம்.","electron.onboarding.welcome.new.title.anon":"வரவேற்கிறோம்!","electron.onboarding.workspace.continue":"தொடர்க","electron.onboarding.workspace.empty":"தொடர ஒரு திட்டத்தைச் சேர்க்கவும்.","electron.onboarding.workspace.listLabel":"கிடைக்கும் திட்டங்கள்","electron.onboarding.workspace.loading":"திட்டங்களை ஏற்றுகிறது…","electron.onboarding.workspace.openFolder":"திட்டத்தைச் சேர்","electron.onboarding.workspace.selectAll":"அனைத்தையும் தேர்ந்தெடுக்கவும்","electron.onboarding.workspace.skip":"தவிர்த்திடு","electron.onboarding.workspace.skip.error":"புதிய திட்டத்தை உருவாக்க முடியவில்லை: {message}","electron.onboarding.workspace.skip.error.unknown":"அறியப்படாத பிழை","electron.onboarding.workspace.skipping":"ஒரு புதிய திட்டத்தை உருவாக்குகிறது…","electron.onboarding.workspace.subtitle":"Codex-ஆல், தேர்ந்தெடுக்கப்பட்ட கோப்புறைகளில் கோப்புகளைத் திருத்தவும் கட்டளைகளை இயக்கவும் முடியும்.","electron.onboarding.workspace.title":"ஒரு திட்டத்தைத் தேர்ந்தெடுக்கவும்","errorPage.list.checkSettings":"உங்கள் IDE அமைப்புகளைப் புதுப்பிக்க முயற்சிக்கவும்","errorPage.list.configToml":"தவறான அமைப்புகளுக்கு உங்கள் config.toml -ஐச் சரிபார்க்கவும்","errorPage.list.downloadExtension":"நீட்டிப்பின் வேறு பதிப்பைப் பதிவிறக்க முயற்சிக்கவும்","errorPage.list.runInWsl":"பொருந்துகின்ற சிக்கல்களைக் கண்டால் WSL -இல் இயங்குவதை முடக்க உங்கள் அமைப்புகளைச் சரிபார்க்கவும்","execApprovalRequest.menu.runAlways":"ஆம், இந்த அமர்வில் மீண்டும் கேட்க வேண்டாம்","execApprovalRequest.menu.runAlwaysWithAmendment":"ஆம், {command}-இல் தொடங்கும் கட்டளைகளை மீண்டும் கேட்க வேண்டாம்","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ஆம், மீண்டும் தொடங்கும் கட்டளைகளைக் கேட்க வேண்டாம்","execApprovalRequest.menu.runOnce":"ஆம்","execApprovalRequest.prompt":"இந்தக் கட்டளையை இயக்க விரும்புகிறீர்களா?","execApprovalRequest.reject":"இல்லை","execFooter.exitCode":"வெளியேறல் குறியீடு {code}","execFooter.exitCode.unknown":"அறியப்படாதது","execFooter.success":"வெற்றி","feedback.dialog.category.badResult":"மோசமான முடிவு","feedback.dialog.category.bug":"பிழை","feedback.dialog.category.goodResult":"சிறந்த முடிவு","feedback.dialog.category.other":"வேறு","feedback.dialog.descriptionPlaceholder":"இங்கே சிக்கலை விவரிக்கவும்","feedback.dialog.dismiss":"நிராகரிக்கவும்","feedback.dialog.includeLogsLabel":"தற்போதைய Codex அமர்வுப் பதிவுகளைச் சேர்க்கவும்","feedback.dialog.submit":"சமர்ப்பிக்குக","feedback.dialog.submitError":"உங்கள் கருத்தைச் சமர்ப்பிக்க முடியவில்லை. சிறிது நேரத்திற்குப் பிறகு முயற்சிக்கவும்.","feedback.dialog.title":"பின்னூட்டம்","feedback.dialog.uploadedMessage.existingIssue":"ஏற்கெனவே உள்ள பிரச்சினை","feedback.dialog.uploadedMessage.openIssue":"GitHub சிக்கலைத் திற","feedback.dialog.uploadedMessage.withThread":"பின்னூட்டம் பதிவேற்றப்பட்டது. சிக்கல் தொடர்ந்தால், தயவுசெய்து {openIssueLink} அல்லது {existingIssueLink}-இல் தொடர் ஐடியைக் குறிப்பிடவும்:","feedback.dialog.uploadedTitle":"பின்னூட்டம் பதிவேற்றப்பட்டது","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} -ஐ அகற்றவும்","header.back":"பின் செல்க","header.recentChats":"பணிகள்","header.recentTasks.seeAll":"அனைத்தையும் காண்க ({total})","home.header.getPlus":"Plus பெறவும்","home.hero.letsBuild":"வாருங்கள், கட்டமைக்கலாம்","homePage.mainContent":"பிரதான உள்ளடக்கம்","imageAttachment.defaultName":"படம்","imageAttachment.preview.close":"பட முன்னோட்டத்தை மூடும்","imageAttachment.removeAriaLabel":"{filename} -ஐ அகற்றவும்","implementPlanRequest.option.implement":"ஆம், இந்தத் திட்டத்தை அமல்படுத்தவும்","implementPlanRequest.prompt":"இந்தத் திட்டத்தை அமல்படுத்தவா?","inbox.archived.deleteError":"காப்பகப்படுத்திய இயக்கத்தை நீக்க முடியவில்லை","inbox.archived.deleteRun":"காப்பகப்படுத்திய இயக்கத்தை நீக்கும்","inbox.archived.deleteSuccess":"காப்பகப்படுத்திய தொடர் நீக்கப்பட்டது. <settingsLink>காப்பகப்படுத்திய தொடர்களில்</settingsLink> காண்க.","inbox.archived.inlineLabel.auto":"இந்தத் தொடர் தானாகவே காப்பகப்படுத்தப்பட்டது. <learnMoreLink>மேலும் அறிக</learnMoreLink>","inbox.archived.inlineLabel.manual":"இத்தொடர் காப்பகப்படுத்தப்பட்டது.","inbox.archived.noMessageFound":"எந்த செய்தியும் கிடைக்கவில்லை","inbox.automations.createError":"ஆட்டோமேஷனை உருவாக்க முடியவில்லை","inbox.automations.deleteConfirm.cancel":"ரத்துசெய்","inbox.automations.deleteConfirm.confirm":"ஆட்டோமேஷனை நீக்கு","inbox.automations.deleteConfirm.description":"இது ஆட்டோமேஷனை நிரந்தரமாக நீக்கி, எதிர்காலத்தில் இயக்கப்படுவதை நிறுத்தும்.","inbox.automations.deleteConfirm.title":"{name}-ஐ நீக்கவா?","inbox.automations.deleteError":"ஆட்டோமேஷனை நீக்க முடியவில்லை","inbox.automations.editTooltip":"ஆட்டோமேஷனைத் திருத்தவும்","inbox.automations.inProgress":"செயலில் உள்ளது","inbox.automations.new":"புதியது","inbox.automations.newToolbar":"புதிய ஆட்டோமேஷன்","inbox.automations.pauseTooltip":"ஆட்டோமேஷனை இடைநிறுத்தலாம்","inbox.automations.resumeTooltip":"ஆட்டோமேஷனை மீண்டும் தொடங்கலாம்","inbox.automations.startingNow":"இப்போது தொடங்குகிறது","inbox.automations.startsIn":"{startTime}-இல் தொடங்குகிறது","inbox.automations.status.active":"செயலில்","inbox.automations.status.paused":"இடைநிறுத்தப்பட்டது","inbox.automations.status.runs":"{count} இயக்கங்கள்","inbox.automations.status.started":"தொடங்கியது {date}","inbox.automations.updateError":"ஆட்டோமேஷனைப் புதுப்பிக்க முடியவில்லை","inbox.automations.workspaceFallback":"-","inbox.filter.all":"அனைத்தும்","inbox.filter.ariaLabel":"இன்பாக்ஸ் உருப்படிகளை வடிகட்டும்","inbox.filter.unread":"படிக்காதது","inbox.list.archived":"ஆவணக் காப்பிடப்பட்டது","inbox.list.inProgress":"செயலில் உள்ளது","inbox.list.recent":"முடிந்தது","inbox.list.upNext":"திட்டமிடப்பட்டது","inbox.mode.automations":"ஆட்டோமேஷன்கள்","inbox.mode.automations.beta":"பீட்டா","inbox.noDescription":"விவரம் எதுவும் வழங்கப்படவில்லை","inbox.openThread":"தொடரைத் திற","inbox.rightPanel.emptySubtitle":"திட்டமிடப்பட்ட பணிகளை அமைப்பதன் மூலம் வேலையை தானியங்குபடுத்தலாம்","inbox.rightPanel.emptySubtitle.learnMore":"திட்டமிடப்பட்ட தொடர்களை அமைப்பதன் மூலம் வேலையை தானியங்குபடுத்தலாம்.<link>மேலும் அறிக</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# செயல்படும் ஆட்டோமேஷன்} other {# செயல்படும் ஆட்டோமேஷன்கள்}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"படிக்காத ஆட்டோமேஷன்கள் இல்லை","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# படிக்காத ஆட்டோமேஷன்} other {# படிக்காத ஆட்டோமேஷன்கள்}}","inbox.rightPanel.emptyTitle":"எந்த உருப்படியும் தேர்ந்தெடுக்கப்படவில்லை","inbox.rightPanel.noThread":"இந்த உருப்படிக்கு எந்தத் தொடரும் இல்லை","inbox.rightPanel.quickStart.header":"ஒரு டெம்பிளேட்டுடன் தொடங்கவும்","inbox.untitled":"பெயரிடப்படாத இன்பாக்ஸ் உருப்படி","loadingPage.documentationLink":"ஆவணம்","loadingPage.errorDescription":"பின்வரும் பிழையுடன் Codex செயலிழந்தது:","loadingPage.errorDescription.documentation":"Codex நீட்டிப்பை மறுதொடக்கம் செய்ய, மீண்டும் ஏற்றுக என்பதைக் கிளிக் செய்யவும் அல்லது கூடுதல் உதவிக்கு எங்கள் {documentationLink}-ஐப் பார்வையிடவும்.","loadingPage.errorSignal":"முயற்சிக்க சில விஷயங்கள்:","loadingPage.errorTitle":"ஒரு பிழை ஏற்பட்டுள்ளது","loadingPage.openConfigToml":"Config.toml -ஐத் திறக்கவும்","loadingPage.reload":"மீளேற்றுக","localConversation.contextCompacted":"சூழல் தானாகவே சுருக்கப்பட்டது","localConversation.contextCompacting":"தானாகவே சூழலைச் சுருக்குகிறது","localConversation.forkedFromConversation":"{threadTitle}-இலிருந்து ஃபோர்க் செய்தது","localConversation.merge.autoResolve.failed":"தானியங்கி தீர்வைக் கோருவது தோல்வியடைந்தது: {error}","localConversation.merge.autoResolve.sent":"தானியங்கு தீர்வு கோரிக்கை அனுப்பப்பட்டது","localConversation.merge.autoResolveMerge.missingConversation":"செயலில் உள்ள உரையாடல் இல்லாமல் தானாக தீர்க்க முடியாது.","localConversation.merge.autoResolveMerge.request":"இணைப்பு முரண்பாடுகளைத் தானாகத் தீர்க்கலாம்","localConversation.modelChanged":"மாடல், {fromModel}-இலிருந்து {toModel}க்கு மாற்றப்பட்டது.","localConversation.modelChanged.warning.line1":"உரையாடலின் நடுவில் மாடல்களை மாற்றுவது செயல்திறனைக் குறைக்கும்.","localConversation.modelChanged.warning.line2":"சூழல் தானாகவே சுருக்கப்படலாம்.","localConversation.moveThread.createBranch.label":"கிளையை உருவாக்கு","localConversation.moveToLocal.disabled.loading":"ஏற்றுகிறது…","localConversation.moveToLocal.modal.continue":"தொடர்க","localConversation.moveToLocal.modal.destinationLabel":"இதற்கு நகர்த்து","localConversation.moveToLocal.modal.retry":"மீண்டும் முயற்சிக்கவும்","localConversation.moveToWorktree.modal.back":"பின் செல்க","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"கிளை ஏற்கெனவே உள்ளது.","localConversation.moveToWorktree.modal.branchesError":"கிளைகளை ஏற்ற முடியவில்லை","localConversation.moveToWorktree.modal.branchesLoading":"கிளைகளை ஏற்றுகிறது…","localConversation.moveToWorktree.modal.branchesRetry":"மீண்டும் முயற்சிக்கவும்","localConversation.moveToWorktree.modal.continue":"தொடர்க","localConversation.moveToWorktree.modal.retry":"மீண்டும் முயற்சிக்கவும்","localConversation.moveToWorktree.modal.trailingSlashError":"கிளை பெயர் “/” உடன் முடியக் கூடாது.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"புதிய-கிளை","localConversation.personalityChanged":"{personality} ஆளுமைக்கு மாற்றப்பட்டது","localConversation.planSummary.collapse":"திட்டச் சுருக்கத்தைச் சுருக்கும்","localConversation.planSummary.collapseTooltip":"சுருக்கவும்","localConversation.planSummary.download":"திட்டத்தைப் பதிவிறக்கலாம்","localConversation.planSummary.expand":"திட்டச் சுருக்கத்தை விரித்திடும்","localConversation.planSummary.expandTooltip":"விரிவாக்குக","localConversation.planSummary.openInNewWindow":"திறக்கவும்","localConversation.planSummary.openInNewWindow.tooltip":"புதிய சாளரத்தில் திற","localConversation.planSummary.title":"திட்டம்","localConversation.planSummary.titleWriting":"எழுதல் திட்டம்","localConversation.planSummary.viewPlan":"திட்டத்தை விரிவாக்கு","localConversation.remoteTaskCreated":"Codex Cloud-இல் {taskLink} உருவாக்கப்பட்டது","localConversation.remoteTaskCreated.task":"பணி","localConversation.scrollToBottomButton":"கீழ் வரை நகர்த்து","localConversation.sync.buttonLabel":"லோக்கலிடம் ஒப்படை","localConversation.sync.buttonLabel.tooltip":"இந்த ஒர்க்ட்ரீக்கும் உங்கள் லோக்கல் செக் அவுட்டிற்கும் இடையிலான மாற்றங்களை ஒப்படைக்கும்.","localConversation.sync.modal.loading.title":"மாற்றங்களை ஒப்படைக்கிறது…","localConversation.sync.modal.noChanges":"மாற்றங்கள் இல்லை","localConversation.syncSetup.branchAriaLabel":"கிளைப் பெயர்","localConversation.syncSetup.branchName":"கிளைப் பெயர்","localConversation.syncSetup.branchPlaceholder.existing":"இருக்கும் கிளையைத் தேர்ந்தெடுக்கவும்","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"கிளைகளை ஏற்றுகிறது…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ஏற்கெனவே செக் அவுட் செய்யப்பட்டது","localConversation.syncSetup.checkoutClean":"தற்போது {branchName}-இல்","localConversation.syncSetup.checkoutDirty":"தற்போது {branchName}-இல் கமிட் செய்யாத மாற்றங்களுடன்","localConversation.syncSetup.checkoutError":"கிளையை செக் அவுட் செய்ய முடியவில்லை: {message}","localConversation.syncSetup.checkoutLabel":"இப்போதே லோக்கலில் பாருங்கள்","localConversation.syncSetup.checkoutOnLocal":"லோக்கலிடம் ஒப்படை","localConversation.syncSetup.checkoutPending":"லோக்கல் நிலையைச் சோதிக்கிறது…","localConversation.syncSetup.checkoutUnavailable":"லோக்கல் பணியிடம் கிடைக்கவில்லை","localConversation.syncSetup.checkoutUnknown":"லோக்கல் கிளை கிடைக்கவில்லை","localConversation.syncSetup.continue":"தொடர்க","localConversation.syncSetup.createBranchError":"ஒப்படைப்புக் கிளையை அமைக்க முடியவில்லை: {message}","localConversation.syncSetup.error":"ஏதோ தவறு நடந்துவிட்டது: {message}","localConversation.syncSetup.error.workingTreeMissing":"ஒர்க்ட்ரீயை ஸ்னாப்ஷாட் செய்ய முடியவில்லை. மீண்டும் ஒப்படைக்க முயற்சிக்கவும்.","localConversation.syncSetup.mode.ariaLabel":"கிளை பயன்முறையைத் தேர்ந்தெடுக்கும்","localConversation.syncSetup.mode.existing":"இருக்கும் கிளை","localConversation.syncSetup.mode.new":"புதிய கிளை","localConversation.syncSetup.noBranches":"கிளைகள் எதுவும் கிடைக்கவில்லை","localConversation.syncSetup.overwriteError":"கிளை உருவாக்கப்பட்டது, ஆனால் முழுமையாக ஒப்படைக்கப்படவில்லை. லோக்கலிடம் சரிபார்க்கும் முன் கைமுறையாக ஒப்படைக்கவும்.","localConversation.syncSetup.setPrefix":"முன்னொட்டை அமை","localConversation.syncSetup.subtitle":"ஒர்க்ட்ரீ மாற்றங்களை லோக்கலில் சோதித்துப் பாருங்கள். <a>மேலும் அறிக</a>","localConversation.syncSetup.success.checkedOut":"கிளை உருவாக்கப்பட்டது மற்றும் லோக்கலில் சரிபார்க்கப்படுகிறது","localConversation.syncSetup.success.notCheckedOut":"கிளை உருவாக்கப்பட்டது","localConversation.syncSetup.title":"லோக்கல் கிளையிடம் ஒப்படைக்கவும்","localConversation.syncWorktreeError.branchAriaLabel":"கிளைப் பெயர்","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"ஒப்படைக்க ஒரு கிளையைத் தேர்வுசெய்து, மாற்றங்களை மீண்டும் ஏற்ற முயற்சிக்கவும்.","localConversation.syncWorktreeError.branchSetup.title":"கிளையைப் புதுப்பி","localConversation.syncWorktreeError.branchUpdate.cta":"புதுப்பித்து மீண்டும் முயற்சிக்கவும்","localConversation.syncWorktreeError.branchUpdate.error":"கிளையைப் புதுப்பிக்க முடியவில்லை: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"ஏதோ தவறு நடந்துவிட்டது: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"எந்த ஒர்க்ட்ரீயிலும் கிளை சரிபார்க்கப்படவில்லை.","localConversation.syncWorktreeV2.applyUncommitted":"பிரயோகிக்கவும்","localConversation.syncWorktreeV2.applyUncommitted.disabled":"கமிட் செய்யாத மாற்றங்களைப் பிரயோகிக்க, நீங்கள் லோக்கலில் கிளையை செக் அவுட் செய்ய வேண்டும்","localConversation.syncWorktreeV2.branches.empty":"கிளைகள் எதுவும் கிடைக்கவில்லை","localConversation.syncWorktreeV2.branches.loading":"கிளைகளை ஏற்றுகிறது…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"ஒப்படைப்புக் கிளையை மாற்றும்","localConversation.syncWorktreeV2.changeBranch.error":"ஒப்படைப்புக் கிளையை மாற்ற முடியவில்லை: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"பிரயோகித்தல் தோல்வியுற்றது","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"ஒர்க்ட்ரீ மேலெழுதல் தோல்வியுற்றது","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"லோக்கல் மேலெழுதல் தோல்வியுற்றது","localConversation.syncWorktreeV2.commandError.back":"பின் செல்க","localConversation.syncWorktreeV2.commandError.body":"அனுப்பும்போது ஒரு git கட்டளை தோல்வியடைந்தது. வெளியீட்டை மீளாய்வு செய்து மீண்டும் முயற்சிக்கவும்.","localConversation.syncWorktreeV2.commandError.retry":"மீண்டும் முயற்சிக்கவும்","localConversation.syncWorktreeV2.description":"லோக்கல் மற்றும் இந்த ஒர்க்ட்ரீக்கு இடையே மாற்றங்களை ஒப்படைக்கவும் <a>மேலும் அறிக</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"ஒப்படைப்புத் திசையைத் தேர்ந்தெடுக்கும்","localConversation.syncWorktreeV2.error.generic":"ஒப்படைக்கும்போது ஏதோ தவறு ஏற்பட்டது. மீண்டும் முயற்சிக்கவும்.","localConversation.syncWorktreeV2.localBranchLabel":"அகம்","localConversation.syncWorktreeV2.noChanges":"மாற்றங்களைக் கணக்கிடுதல்","localConversation.syncWorktreeV2.noChanges.summary":"மாற்றங்கள் இல்லை","localConversation.syncWorktreeV2.overwrite.local":"லோக்கல் மேலெழுது","localConversation.syncWorktreeV2.overwrite.worktree":"ஒர்க்ட்ரீ மேலெழுது","localConversation.syncWorktreeV2.partial.action.applyFailed":"மாற்றங்களைப் பிரயோகிக்க முடியவில்லை","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"லோக்கல் மாற்றங்களை மேலெழுத முடியவில்லை","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ஒர்க்ட்ரீ மாற்றங்களை மேலெழுத முடியவில்லை","localConversation.syncWorktreeV2.partial.appliedLabel":"பிரயோகிக்கப்பட்டது","localConversation.syncWorktreeV2.partial.back":"பின் செல்க","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"முரண்பாடுகளைத் தீர்த்து மீண்டும் முயற்சிக்கவும்.","localConversation.syncWorktreeV2.partial.conflictsLabel":"முரண்பாடுகள்","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# file} other {# கோப்புகள்}}","localConversation.syncWorktreeV2.partial.retry":"மீண்டும் முயற்சிக்கவும்","localConversation.syncWorktreeV2.partial.skippedLabel":"தவிர்த்தது","localConversation.syncWorktreeV2.stateFailed.generic":"ஒர்க்ட்ரீ மாற்றங்களை ஒப்படைக்க எடுக்கும் போது ஏதோ தவறு ஏற்பட்டது. மீண்டும் முயற்சித்திடுங்கள்.","localConversation.syncWorktreeV2.stateFailed.title":"ஒர்க்ட்ரீ மாற்றங்களை ஏற்ற முடியவில்லை","localConversation.syncWorktreeV2.statusError.diffUnknown":"ஒர்க்ட்ரீ மாற்றங்களை ஏற்ற முடியவில்லை.","localConversation.syncWorktreeV2.statusError.retry":"மீண்டும் முயற்சிக்கவும்","localConversation.syncWorktreeV2.statusError.title":"லோக்கல் கிளை மாற்றங்களை ஏற்ற முடியவில்லை","localConversation.syncWorktreeV2.statusError.unknown":"கிளை நிலை தற்போது கிடைக்கவில்லை. மீண்டும் முயற்சிக்கவும்.","localConversation.syncWorktreeV2.success.apply":"மாற்றங்கள் வெற்றிகரமாகப் பிரயோகிக்கப்பட்டன","localConversation.syncWorktreeV2.success.overwrite":"ஒப்படைப்பு வெற்றிகரமாக முடிந்தது","localConversation.syncWorktreeV2.title":"மாற்றங்களை ஒப்படைக்கவும்","localConversation.syncWorktreeV2.worktreeLabel":"பணிப்பிரிவு","localConversation.userInputRequest.inProgress":"கேட்பது {count, plural, one {கேள்வி} other {கேள்விகள்}}","localConversation.userInputRequest.noAnswer":"பதில் எதுவும் வழங்கப்படவில்லை","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"கேட்டது","localConversation.userInputRequest.summary.count":"{count, plural, one {# கேள்வி} other {# கேள்விகள்}}","localConversation.workedFor":"{time} வேலை செய்தது","localConversation.worktreeBranchSetup.action.create":"உருவாக்கு","localConversation.worktreeBranchSetup.branchAriaLabel":"கிளைப் பெயர்","localConversation.worktreeBranchSetup.branchPlaceholder.new":"புதிய கிளையை உருவாக்கவும்","localConversation.worktreeBranchSetup.checkoutDisabled":"இந்தக் கிளை ஏற்கெனவே {location}-இல் செக் அவுட் செய்யப்பட்டுள்ளது","localConversation.worktreeBranchSetup.checkoutError":"கிளையை செக் அவுட் செய்ய முடியவில்லை: {message}","localConversation.worktreeBranchSetup.createBranchError":"கிளையை அமைக்க முடியவில்லை: {message}","localConversation.worktreeBranchSetup.error":"ஏதோ தவறு நடந்துவிட்டது: {message}","localConversation.worktreeBranchSetup.subtitle":"இந்த ஒர்க்ட்ரீயிலிருந்து மாற்றங்களைச் செய்ய, புஷ் செய்ய மற்றும் PR -ஐ உருவாக்க ஒரு கிளையை உருவாக்கவும். <a>மேலும் அறிக</a>","localConversation.worktreeBranchSetup.title":"இங்கு வேலை செய்க","localConversationPage.addWorktreeToSidebar.tooltip":"இந்த ஒர்க்ட்ரீயிலிருந்து புதிய தொடர்களைத் தொடங்க, ஒரு திட்டமாகச் சேமிக்கவும்","localConversationPage.addWorktreeToSidebarError":"திட்டத்தைச் சேர்க்க முடியவில்லை","localConversationPage.commitAndCreatePrModal.errorTitle":"கமிட் செய்து, PR-ஐ உருவாக்குவது தோல்வியடைந்தது","localConversationPage.commitAndCreatePrModal.successTitle":"கமிட் செய்து, PR உருவாக்கப்பட்டது","localConversationPage.commitAndPushModal.errorTitle":"கமிட் மற்றும் புஷ் தோல்வியடைந்தது","localConversationPage.commitAndPushModal.successTitle":"கமிட் செய்து, புஷ் செய்த மாற்றங்கள்","localConversationPage.commitCreatePr.open":"இழுவைக் கோரிக்கையைத் திற","localConversationPage.commitCreatePr.successTitle":"உங்கள் சமீபத்திய மாற்றங்களுடன் PR உருவாக்கப்பட்டது","localConversationPage.createBranchButtonLabel":"இங்கே கிளையமை","localConversationPage.createPrModal.baseBranch":"பேஸ்","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR-ஐ உருவாக்கு","localConversationPage.createPrModal.createDescription":"உங்கள் சமீபத்திய மாற்றங்களுக்கான இழுவைக் கோரிக்கையைத் திறக்கவும்.","localConversationPage.createPrModal.errorTitle":"இழுவைக் கோரிக்கை தோல்வியடைந்தது","localConversationPage.createPrModal.headBranch":"ஹெட்","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR-ஐத் திற","localConversationPage.createPrModal.successTitle":"இழுவைக் கோரிக்கையை உருவாக்கப்பட்டது","localConversationPage.createPrModal.title":"இழுவைக் கோரிக்கையை உருவாக்குக","localConversationPage.createPrModal.viewDescription":"இந்தக் கிளைக்கு ஏற்கெனவே ஓர் இழுவைக் கோரிக்கை உள்ளது.","localConversationPage.createPrModal.viewTitle":"இழுவைக் கோரிக்கை தயார்","localConversationPage.createPullRequestAuthGh":"GitHub CLI -ஐ அங்கீகரிக்கவும்: `gh auth login` -ஐ இயக்கவும்","localConversationPage.createPullRequestBranchMissing":"கிளைத் தகவல் கிடைக்கவில்லை","localConversationPage.createPullRequestButtonLabel":"PR-ஐ உருவாக்கு","localConversationPage.createPullRequestButtonLabel.loading":"PR-ஐ உருவாக்குகிறது...","localConversationPage.createPullRequestDefaultBranchMissing":"இயல்புநிலை கிளைத் தகவல் கிடைக்கவில்லை","localConversationPage.createPullRequestError":"இழுவைக் கோரிக்கையை உருவாக்க முடியவில்லை","localConversationPage.createPullRequestExistingPullRequest":"இந்தக் கிளைக்கு ஏற்கெனவே ஓர் இழுவைக் கோரிக்கை உள்ளது","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI நிலையை ஏற்றுகிறது…","localConversationPage.createPullRequestInstallGh":"PRகளை உருவாக்க GitHub CLI (gh) -ஐ நிறுவவும்","localConversationPage.createPullRequestNoRepo":"git ரிபாசிட்டரி எதுவும் கிடைக்கவில்லை","localConversationPage.createPullRequestPushStatusMissing":"புஷ் நிலையை ஏற்றுகிறது…","localConversationPage.createPullRequestSetUpstream":"ஒரு PR -ஐ உருவாக்கும் முன் இந்தக் கிளையை புஷ் செய்யவும்","localConversationPage.createPullRequestSuccessToast":"இழுவைக் கோரிக்கையை உருவாக்கப்பட்டது","localConversationPage.createPullRequestSwitchBranch":"ஒரு PR-ஐ உருவாக்கும் முன், ஓர் அம்சக் கிளையைப் பார்க்கவும்","localConversationPage.error.render":"லோக்கல் உரையாடலை ரெண்டர் செய்வதில் பிழை","localConversationPage.error.toast":"உரையாடலைக் காணவில்லை","localConversationPage.forcePushError":"புஷ் கட்டாயப்படுத்த முடியவில்லை","localConversationPage.generatePullRequestMessageError":"இழுத்தல் கோரிக்கைத் தலைப்பு மற்றும் உள்ளடக்கத்தை உருவாக்குவது தோல்வியுற்றது","localConversationPage.generatePullRequestMessageFailed":"இழுத்தல் கோரிக்கைத் தலைப்பு மற்றும் உள்ளடக்கத்தை உருவாக்குவது தோல்வியுற்றது.","localConversationPage.gitActionResult.branch":"கிளை","localConversationPage.gitActionResult.cancel":"ரத்துசெய்","localConversationPage.gitActionResult.close":"மூடுக","localConversationPage.gitActionResult.tryAgain":"மீண்டும் முயற்சித்திடுக","localConversationPage.gitActions":"Git நடவடிக்கைகள்","localConversationPage.newChat":"புதிய அரட்டை","localConversationPage.openInTarget":"இதில் திற","localConversationPage.openPrimaryTarget":"திறக்கவும்","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# பணி முடிந்தது} other {# பணிகள் முடிந்தன}}-இல் {completedItems}","localConversationPage.pushAuthError":"புஷ் தோல்வியுற்றது: அங்கீகாரம் தேவை","localConversationPage.pushBranchMissing":"கிளைத் தகவல் கிடைக்கவில்லை","localConversationPage.pushButtonLabel":"புஷ்","localConversationPage.pushButtonLabel.loading":"புஷ் செய்கிறது…","localConversationPage.pushError":"மாற்றங்களை புஷ் செய்ய முடியவில்லை","localConversationPage.pushModal.branchLabel":"கிளை","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"ரத்துசெய்","localConversationPage.pushModal.confirm":"புஷ்","localConversationPage.pushModal.description":"உங்கள் சமீபத்திய கமிட்களை ரிமோட் களஞ்சியத்திற்குப் புஷ் செய்யவும்.","localConversationPage.pushModal.errorTitle":"புஷ் தோல்வியடைந்தது","localConversationPage.pushModal.forcePush":"புஷ் கட்டாயப்படுத்து","localConversationPage.pushModal.successTitle":"புஷ் முடிந்தது","localConversationPage.pushModal.title":"புஷ் மாற்றங்கள்","localConversationPage.pushModal.tryAgain":"மீண்டும் முயற்சித்திடுக","localConversationPage.pushNoUpstream":"இந்தக் கிளையை புஷ் செய்வதற்கு முன் ஓர் அப்ஸ்ட்ரீமை அமைக்கவும்","localConversationPage.pushNoUpstreamError":"புஷ் தோல்வியுற்றது: அப்ஸ்ட்ரீம் எதுவும் உள்ளமைக்கப்படவில்லை","localConversationPage.pushNothingToPush":"புஷ் செய்ய புதிய கமிட்கள் எதுவுமில்லை","localConversationPage.pushRemoteChangedError":"புஷ் தோல்வியுற்றது: ரிமோட்டில் புதிய கமிட்கள் உள்ளன","localConversationPage.pushRemoteRejectedError":"ரிமோட் மூலம் புஷ் நிராகரிக்கப்பட்டது","localConversationPage.pushStatusMissing":"புஷ் நிலையை ஏற்றுகிறது…","localConversationPage.pushSuccessToast":"புஷ் செய்த மாற்றங்கள்","localConversationPage.viewPullRequestButtonLabel":"PR-ஐக் காட்டு","localConversationPage.viewPullRequestButtonLabel.loading":"இழுத்தல் கோரிக்கையை ஏற்றுகிறது…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# கோப்பு} other {# கோப்புகள்}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# பட்டியல்} other {# பட்டியல்கள்}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# தேடல்} other {# தேடல்கள்}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"ஆராய்கிறது","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"ஆராய்ந்தது","localConversationTurn.exploration.accordion.header.complete.withCounts":"ஆராய்ந்தது {counts}","localConversationTurnStory.showContent":"உள்ளடக்கத்தைக் காட்டு","localConversationTurnStory.streamContent":"உள்ளடக்கத்தை ஸ்ட்ரீம் செய்","localConversationTurnStory.toggleReasoning":"காரணவிளக்கமளித்தலைக் காட்டு","localTaskRow.archiveError":"உரையாடலை ஆவணக் காப்பிட முடியவில்லை","localTaskRow.resumeError":"பணியை மீண்டும் தொடங்க முடியவில்லை","mermaidDiagram.ariaLabel":"மெர்மெய்ட் வரைபடம்","mermaidDiagram.copySource":"மெர்மெய்டைப் பிரதியெடுக்கலாம்","mermaidDiagram.originalCode":"மெர்மெய்ட் மூலக் குறியீடு","notifications.permissions.description":"அறிவிப்பு அனுமதிகள் தேவைப்படும்போது விழிப்பூட்டல்களைக் காட்டு","notifications.permissions.label":"அனுமதி அறிவிப்புகளை இயக்கு","notifications.turnMode.always":"எப்போதும்","notifications.turnMode.description":"முடிந்துவிட்டது என்று Codex உங்களுக்கு எச்சரிக்கை செய்யும்போது அமைக்கவும்","notifications.turnMode.label":"நிறைவு அறிவிப்புகளைத் திருப்புக","notifications.turnMode.off":"ஒருபோதுமில்லை","notifications.turnMode.unfocused":"அன்ஃபோகஸ் செய்யும்போது மட்டும்","patchApprovalRequest.approve":"ஒப்புதல்","patchApprovalRequest.menu.allowAlways":"ஆம், இந்த அமர்வில் மீண்டும் கேட்க வேண்டாம்","patchApprovalRequest.menu.allowForSession":"ஆம், இந்த அமர்வில் மீண்டும் கேட்க வேண்டாம்","patchApprovalRequest.menu.allowOnce":"ஆம்","patchApprovalRequest.prompt":"இந்த மாற்றங்களைச் செய்ய விரும்புகிறீர்களா?","patchApprovalRequest.reject":"இல்லை","patchApprovalRequest.waitingForApproval":"கோப்புகளைத் திருத்த அனுமதிக்காகக் காத்திருக்கிறது","pendingRequest.approvalExec.collapse":"சுருக்கு","pendingRequest.approvalExec.expand":"விரிவாக்கு","pendingRequestStory.toastAnswer":"பதில்: {answer}","pendingRequestStory.toastApprovalTitle":"ஒப்புதல் பதில்","pendingRequestStory.toastFollowupPrompt":"ப்ராம்ப்ட்: {prompt}","pendingRequestStory.toastFollowupTitle":"பின்தொடர்தல் அனுப்பப்பட்டது","pendingRequestStory.toastNoAnswers":"பதில்கள் எதுவும் வழங்கப்படவில்லை","pendingRequestStory.toastQuestion":"கேள்வி: {question}","pendingRequestStory.toastUnknownDecision":"அறியப்படாத","pendingRequestStory.toastUserInputTitle":"சமர்ப்பிக்கப்பட்ட பதில்கள்","quickAction.request.codeReview.branches.new":"{to}க்கு எதிராக {from}-இல் உள்ள மாற்றங்களை மீளாய்வு செய்திடுங்கள்","quickAction.request.codeReview.uncommitted.new":"எனது உறுதியளிக்கப்படாத மாற்றங்களை மீளாய்வு செய்யவும்","reasoningItem.thinking":"யோசிக்கிறது","reasoningItem.thought":"யோசனை","reasoningItem.thoughtWithElapsed":"{elapsed}க்கான யோசனை","recentConversations.title":"சமீபத்திய உரையாடல்கள்","recentTasks.worktreeInitFailedTitle":"பணிப்பிரிவுத் துவக்கம் தோல்வியடைந்தது","recentTasks.worktreeSettingUpTitle":"பணிப்பிரிவை அமைத்தல்","requestInputPanel.continue":"தொடர்க","requestInputPanel.dismiss":"நிராகரிக்கவும்","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"இங்கே டைப் செய்யவும்","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"இல்லை, வித்தியாசமாக என்ன செய்ய வேண்டும் என்று Codex-இடம் சொல்லவும்","requestInputPanel.selectedBadge":"தேர்ந்தெடுக்கப்பட்டது","requestInputPanel.skip":"தவிர்த்திடு","requestInputPanel.submit":"சமர்ப்பிக்குக","review.commit.ariaLabel.includeUnstaged":"அன்ஸ்டேஜ் செய்ததை உள்ளடக்கும்","review.commit.buttonLabel":"கமிட் செய்","review.commit.disabled.committing":"கமிட் செய்கிறது…","review.commit.disabled.loadingDiff":"diff-ஐ ஏற்றுகிறது…","review.commit.disabled.missingContext":"ஒரு கமிட் செய்தியை உருவாக்க சில சூழலைச் சேர்க்கவும்","review.commit.disabled.noChanges":"கமிட் செய்ய எந்த மாற்றங்களும் இல்லை","review.commit.disabled.noSelection":"கமிட் செய்ய மாற்றங்களைத் தேர்ந்தெடுக்கவும்","review.commit.disabled.unavailable":"கமிட் தற்போது கிடைக்கவில்லை","review.commit.error":"மாற்றங்களைக் கமிட் செய்ய முடியவில்லை","review.commit.form.changesToBeCommitted":"மாற்றங்கள்","review.commit.form.commitTo":"கிளை","review.commit.form.commitTo.none":"-","review.commit.form.continue":"தொடர்க","review.commit.form.title":"உங்கள் மாற்றங்களை கமிட் செய்யவும்","review.commit.generate.emptyResponse":"கமிட் செய்தியை உருவாக்க முடியவில்லை","review.commit.generate.failed":"கமிட் செய்தியை உருவாக்குவது தோல்வியுற்றது: {error}","review.commit.generate.missingPrompt":"ஒரு கமிட் செய்தியை உருவாக்க சில சூழலைச் சேர்க்கவும்.","review.commit.includeUnstaged":"அன்ஸ்டேஜ் செய்ததை உள்ளடக்கும்","review.commit.loading.description":"காத்திருங்கள், இதற்கு சில நிமிடங்கள் ஆகலாம்…","review.commit.loading.step.commit.done":"கமிட் செய்த மாற்றங்கள்","review.commit.loading.step.commit.pending":"மாற்றங்களைச் செய்கிறது","review.commit.loading.step.createPr.done":"இழுவைக் கோரிக்கை உருவாக்கப்பட்டது","review.commit.loading.step.createPr.pending":"இழுவைக் கோரிக்கையை உருவாக்குகிறது","review.commit.loading.step.push.done":"கிளை {branch}க்கு புஷ் செய்யப்பட்டது","review.commit.loading.step.push.pending":"கிளை {branch}க்கு புஷ் செய்கிறது","review.commit.loading.title.commit":"மாற்றங்களைச் செய்கிறது","review.commit.loading.title.createPr":"PR-ஐ உருவாக்குகிறது","review.commit.loading.title.push":"மாற்றங்களை புஷ் செய்கிறது","review.commit.messageLabel":"செய்தியை கமிட் செய்","review.commit.messagePlaceholder":"ஒரு கமிட் செய்தியைத் தானாக உருவாக்க காலியாக விடவும்","review.commit.nextSteps":"அடுத்த படிகள்","review.commit.nextSteps.commit":"கமிட் செய்","review.commit.nextSteps.commitAndCreate":"கமிட் செய்து, PR-ஐ உருவாக்கு","review.commit.nextSteps.commitAndPush":"கமிட் மற்றும் புஷ் செய்","review.commit.nextSteps.prRequiresGh":"GitHub CLI தேவை: {command}","review.commit.rows.changes":"மாற்றங்கள்","review.commit.rows.commitCount":"{count, plural, one {# கமிட்} other {# கமிட்கள்}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# கமிட்} other {# கமிட்கள்}} மற்றும் {stats}","review.commit.rows.fileCount":"{count, plural, one {# file} other {# கோப்புகள்}}","review.commit.state.error.body":"கமிட் செய்யும்போது ஏதோ தவறு ஏற்பட்டது. உங்கள் git நிலையைச் சரிபார்த்து மீண்டும் முயற்சிக்கவும்.","review.commit.state.error.title":"கமிட் தோல்வியடைந்தது","review.commit.state.success.title":"மாற்றங்கள் கமிட் செய்யப்பட்டன","review.commit.untracked.loadingStats":"கண்காணிக்கப்படாத வேறுபாட்டுப் புள்ளிவிவரங்களை ஏற்றுகிறது…","reviewFindingAttachments.count":"{count, plural, one {# கண்டுபிடிப்பு} other {# கண்டுபிடிப்புகள்}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"ஏஜன்ட் நடத்தையைத் தனிப்பயனாக்க உங்கள் உள்ளமைவைத் திருத்தவும்","settings.agent.configuration.configToml.docs":"ஆவணங்கள்","settings.agent.configuration.configToml.restartNote":"மாற்றங்களைப் பிரயோகிக்க, திருத்திய பிறகு Codex-ஐ மறுதொடக்கம் செய்யவும்","settings.agent.configuration.subtitle":"இந்த அமைப்புகள், Codex பயன்படுத்தப்படும் எந்த இடத்திற்கும் பொருந்தும்","settings.automations.banner.danger":"தானியக்கங்கள் உங்கள் இயல்புநிலை சாண்ட்பாக்ஸ் அமைப்புகளுடன் இயங்கும், அவை தற்போது முழு அணுகலுக்கு அமைக்கப்பட்டுள்ளன. முழு அணுகலுடன் பின்னணி ஆட்டோமேஷனை இயக்குவது அதிக அபாயத்தைக் கொண்டுள்ளது, ஏனெனில் Codex, கோப்புகளை மாற்றலாம், கட்டளைகளை இயக்கலாம் மற்றும் நெட்வொர்க்கை கேட்காமலேயே அணுகலாம். சாண்ட்பாக்ஸ் அமைப்புகளை பணியிட எழுத்துக்கு புதுப்பித்து, ஏஜன்ட் முழு அணுகலுடன் எந்த கட்டளைகளை இயக்க முடியும் என்பதைத் தேர்ந்தெடுத்து வரையறுக்க <rulesDocsLink>விதிகளைப்</rulesDocsLink> பயன்படுத்துவதைக் கருத்தில் கொள்ளுங்கள்.","settings.automations.banner.defaultHowTo.default":"உங்கள் இயல்புநிலை சாண்ட்பாக்ஸ் அமைப்புகளுடன் ஆட்டோமேஷன்கள் இயங்கும். பணியிடத்திற்கு வெளியே கோப்புகளை மாற்றுதல், நெட்வொர்க்கை அணுகுதல் அல்லது உங்கள் கம்ப்யூட்டரியில் உள்ள செயலிகளுடன் பணிபுரிதல் போன்ற தேவைகள் இருந்தால் கருவி அழைப்புகள் தோல்வியடையும். <rulesDocsLink>விதிகளைப்</rulesDocsLink> பயன்படுத்தி சாண்ட்பாக்ஸுக்கு வெளியே இயக்க கட்டளைகளைத் தேர்ந்தெடுத்து அனுமதிப் பட்டியலில் சேர்க்கலாம்.","settings.automations.banner.defaultHowTo.readOnly":"தானியங்குகள் உங்கள் இயல்புநிலை சாண்ட்பாக்ஸ் அமைப்புகளுடன் இயங்கும், அவை படிக்க-மட்டும் என அமைக்கப்பட்டுள்ளன. கோப்புகளை மாற்றுதல், நெட்வொர்க்கை அணுகுதல் அல்லது உங்கள் கம்ப்யூட்டரில் உள்ள செயலிகளுடன் பணிபுரிதல் போன்ற தேவைகள் இருந்தால் கருவி அழைப்புகள் தோல்வியடையும். பணியிட எழுதுதலுக்கு சாண்ட்பாக்ஸ் அமைப்புகளைப் புதுப்பிப்பதைப் பரிசீலிக்கவும்.","settings.automations.cancel":"ரத்துசெய்","settings.automations.create":"உருவாக்கு","settings.automations.cwdEmpty":"திட்டக் கோப்புறைகள் எதுவும் கிடைக்கவில்லை","settings.automations.cwdLabel":"திட்டங்கள்","settings.automations.cwdPlaceholder":"ஒரு கோப்புறையைத் தேர்வுசெய்க","settings.automations.cwdSubtitle":"ஒரு குறிப்பிட்ட கிளையில் ஆட்டோமேஷன் இயங்க விரும்பினால், அதை உங்கள் ப்ராம்ப்ட்டில் குறிப்பிடலாம்.","settings.automations.delete":"நீக்கவும்","settings.automations.dialog.editTitle":"ஆட்டோமேஷனைத் திருத்தவும்","settings.automations.dialog.newTitle":"புதிய ஆட்டோமேஷன்","settings.automations.dialog.subtitle":"பின்னணியில் தொடர்ச்சியான பணிகளை தானியங்குபடுத்துங்கள். Codex கண்டுபிடிப்புகளை இன்பாக்ஸில் சேர்க்கிறது, அல்லது புகாரளிக்க எதுவும் இல்லை என்றால் தானாகவே பணியை காப்பகப்படுத்துகிறது. <learnMoreLink>மேலும் அறிக</learnMoreLink>","settings.automations.dialog.title":"ஆட்டோமேஷனை உருவாக்கவும்","settings.automations.executionCopy.git":"அர்ப்பணிக்கப்பட்ட ஒர்க்ட்ரீக்களில் பின்னணியில் ஆட்டோமேஷன்கள் இயங்கும்.","settings.automations.executionCopy.nonGit":"பதிப்பு-கட்டுப்படுத்தப்படாத திட்டங்களில் ஆட்டோமேஷன்கள் நேரடியாக திட்ட கோப்பகத்தில் இயங்கும். பின்னணி ஒர்க்ட்ரீகளில் இயங்குவதைச் செயல்படுத்த Git-ஐப் பயன்படுத்துவதைப் பரிசீலிக்கவும்.","settings.automations.executionEnvironment.local":"அகம்","settings.automations.executionEnvironment.worktree":"பணிப்பிரிவு","settings.automations.loading":"ஏற்றுகிறது…","settings.automations.nameLabel":"பெயர்","settings.automations.namePlaceholder":"சென்ட்ரி சிக்கல்களைச் சரிபார்க்கவும்","settings.automations.pause":"இடைநிறுத்து","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"$Sentry-இல் செயலிழப்புகளைக் காண்க","settings.automations.resume":"மீள்தொடங்கு","settings.automations.rruleSummaryFallback":"தனிப்பயன் அட்டவணை","settings.automations.runNow":"சோதனை","settings.automations.save":"சேமிக்கவும்","settings.automations.scheduleBadge.dayCount":"{count}நா","settings.automations.scheduleBadge.interval":"{count}ம","settings.automations.scheduleBadge.weekdays":"வார நாட்கள்","settings.automations.scheduleBadge.weekends":"வார இறுதிகள்","settings.automations.scheduleHeader":"அட்டவணை","settings.automations.scheduleHours":"மணிநேரம்","settings.automations.scheduleLabel":"ஒவ்வொன்றிலும் இயக்கு","settings.automations.scheduleMode.daily":"தினசரி","settings.automations.scheduleMode.interval":"இடைவெளி","settings.automations.scheduleModeLabel":"அட்டவணை வகை","settings.automations.scheduleSummary.daily":"தினமும் {time}க்கு","settings.automations.scheduleSummary.interval":"ஒவ்வொரு {count}ம","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# day} other {# days}}","settings.automations.scheduleSummary.intervalDays":"{interval}, {days}-இல்","settings.automations.scheduleSummary.intervalHourly":"மணிதோறும்","settings.automations.scheduleSummary.singleDay":"{day} {time}க்கு","settings.automations.scheduleSummary.weekdays":"{time}-இல் வார நாட்களில்","settings.automations.scheduleSummary.weekdaysLabel":"வார நாட்கள்","settings.automations.scheduleSummary.weekends":"{time}-இல் வார இறுதிகளில்","settings.automations.scheduleSummary.weekendsLabel":"வார இறுதிகள்","settings.automations.scheduleSummary.weekly":"{days} {time}க்கு","settings.automations.scheduleWeekdays":"ஆன்","settings.automations.weekdayState.excluded":"விலக்கப்பட்டது","settings.automations.weekdayState.included":"சேர்க்கப்பட்டது","settings.conversationDetail.steps":"படிகள்","settings.conversationDetail.steps.description":"கட்டளைகளையும் வெளியீடுகளையும் மறைக்கலாம்","settings.conversationDetail.stepsWithCommands":"கோடிங் கட்டளைகளுடனான படிகள்","settings.conversationDetail.stepsWithCommands.description":"கட்டளைகளைக் காட்டு, வெளியீட்டைச் சுருக்கு","settings.conversationDetail.stepsWithOutput":"கோடிங் வெளியீடுடனான படிகள்","settings.conversationDetail.stepsWithOutput.description":"கட்டளைகளைக் காட்டு, வெளியீட்டை விரிவாக்கு","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"காப்பகப்படுத்தப்பட்ட அரட்டைகள் இல்லை","settings.dataControls.archivedChats.error":"காப்பகப்படுத்திய அரட்டைகளை ஏற்ற முடியவில்லை.","settings.dataControls.archivedChats.loading":"காப்பகப்படுத்திய அரட்டைகளை ஏற்றுகிறது…","settings.dataControls.archivedChats.unarchive":"காப்பகத்தை அகற்றவும்","settings.dataControls.archivedChats.unarchiveError":"அரட்டையை காப்பகத்திலிருந்து மீட்டெடுக்க முடியவில்லை","settings.dataControls.archivedChats.unarchiveSuccess":"காப்பகப்படுத்தப்படாத தொடர். <viewNowLink>இப்போது காண்க</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"காப்பகப்படுத்தப்படாத தொடர்.","settings.dataControls.archivedChats.untitled":"பெயரிடப்படாத அரட்டை","settings.dataControls.archivedChats.viewNow":"இப்போது காண்க","settings.editRow.headerPlaceholder":"விசை","settings.editRow.removeEntry":"உள்ளீட்டை அகற்று","settings.editRow.valuePlaceholder":"மதிப்பு","settings.general.appearance":"தோற்றம்","settings.general.appearance.codeFont":"கோடிங்கின் எழுத்துரு","settings.general.appearance.codeFont.description":"அரட்டைகள் மற்றும் வேறுபாடுகளுக்கு இடையில் கோடிங்கிற்குப் பயன்படுத்தப்படும் எழுத்துருவையும் அளவையும் சரிசெய்யலாம்","settings.general.appearance.codeFontFamily":"குறியீட்டு எழுத்துருக் குடும்பம்","settings.general.appearance.codeFontSize":"கோடிங்கின் எழுத்துரு அளவு","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"சிஸ்டம் ஒளிஊடுருவலை விட சாளரங்களை திடமான பின்னணியைப் பயன்படுத்தச் செய்யலாம்.","settings.general.appearance.opaqueWindows.label":"ஒளிபுகா சாளர பின்னணியைப் பயன்படுத்தவும்","settings.general.appearance.sansFontFamily":"Sans எழுத்துரு குடும்பம்","settings.general.appearance.sansFontFamily.description":"Codex UI-க்குப் பயன்படுத்தப்படும் எழுத்துருவைச் சரிசெய்யவும்.","settings.general.appearance.sansFontSize":"Sans எழுத்துரு அளவு","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark முதல் திருப்பத்தை இயக்கும்போது முழு-சாளர கொண்டாட்ட விளைவுகளைக் காட்டு","settings.general.appearance.sparkCelebrationEffects.label":"கொண்டாட்டத்தைத் தூண்டும் விளைவுகள்","settings.general.appearance.theme":"கருப்பொருள்","settings.general.appearance.theme.dark":"இருண்ட","settings.general.appearance.theme.description":"ஒளி, இருள் அல்லது உங்கள் சிஸ்டத்துடன் பொருந்துவதைப் பயன்படுத்தவும்","settings.general.appearance.theme.light":"ஒளி","settings.general.appearance.theme.system":"அமைப்பு","settings.general.appearance.usePointerCursors.description":"ஊடாடல் கூறுகளின் மீது வட்டமிடும்போது கர்சரை ஒரு பாயிண்டராக மாற்றலாம்","settings.general.appearance.usePointerCursors.label":"பாயிண்டர் கர்சர்களைப் பயன்படுத்தவும்","settings.general.enterBehavior.description":"இயக்கப்பட்டிருக்கும் போது, பல வரி ப்ராம்ப்ட்களை அனுப்ப {modifierSymbol} + enter தேவை.","settings.general.enterBehavior.label":"நீண்ட ப்ராம்ப்ட்களை அனுப்ப {modifierSymbol} + enter தேவை","settings.general.experimentalFeatures":"பரிசோதனை அம்சங்கள் (பீட்டா)","settings.general.experimentalFeatures.empty":"பீட்டா பரிசோதனை அம்சங்கள் எதுவும் கிடைக்கவில்லை.","settings.general.experimentalFeatures.loading":"பரிசோதனை அம்சங்களை ஏற்றுகிறது…","settings.general.experimentalFeatures.restartNote":"பரிசோதனை அம்ச மாற்றங்களைப் பிரயோகிக்க Codex-ஐ மறுதொடக்கம் செய்யுங்கள்.","settings.general.experimentalFeatures.toggle":"{featureName}-ஐ நிலைமாற்றும்","settings.general.followUpQueueMode.description":"Codex இயங்கும்போது பின்தொடர்தல்களை வரிசைப்படுத்தவும் அல்லது தற்போதைய இயக்கத்தை இயக்கவும். ஒரு செய்திக்கு எதிர்மாறாகச் செய்ய {invertFollowUpShortcutLabel}-ஐ அழுத்தவும்.","settings.general.followUpQueueMode.interrupt":"திசைமாற்று","settings.general.followUpQueueMode.label":"பின்தொடர்தல் நடத்தை","settings.general.followUpQueueMode.queue":"வரிசையில் சேர்","settings.general.notifications":"அறிவிப்புகள்","settings.general.power.preventSleepWhileRunning.description":"Codex ஒரு தொடரை இயக்கும்போது உங்கள் கம்ப்யூட்டரை விழித்திருக்க வைக்கவும்.","settings.general.power.preventSleepWhileRunning.label":"இயங்கும்போது உறங்குவதைத் தடுக்கவும்","settings.git.branchPrefix.ariaLabel":"கிளை முன்னொட்டு","settings.git.branchPrefix.description":"Codex-இல் புதிய கிளைகளை உருவாக்கும்போது பயன்படுத்தப்படும் முன்னொட்டு","settings.git.branchPrefix.label":"கிளை முன்னொட்டு","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"கிளை முன்னொட்டைச் சேமிக்க முடியவில்லை","settings.git.branchPrefix.save.success":"கிளை முன்னொட்டு சேமிக்கப்பட்டது","settings.git.commitInstructions.ariaLabel":"கமிட் அறிவுறுத்தல்கள்","settings.git.commitInstructions.description":"செய்தி உருவாக்க ப்ராம்ப்ட்களை கமிட் செய்வதற்குச் சேர்க்கப்பட்டது","settings.git.commitInstructions.label":"கமிட் அறிவுறுத்தல்கள்","settings.git.commitInstructions.placeholder":"கமிட் செய்தி வழிகாட்டுதலைச் சேர்க்கவும்…","settings.git.commitInstructions.save":"சேமிக்கவும்","settings.git.commitInstructions.save.error":"கமிட் அறிவுறுத்தல்களைச் சேமிக்க முடியவில்லை","settings.git.commitInstructions.save.success":"கமிட் அறிவுறுத்தல்கள் சேமிக்கப்பட்டன","settings.git.forcePush.ariaLabel":"எப்போதும் புஷ் கட்டாயம்","settings.git.forcePush.description":"Codex -இலிருந்து புஷ் செய்யும்போது --force-with-lease ஐப் பயன்படுத்தவும்","settings.git.forcePush.label":"எப்போதும் புஷ் கட்டாயம்","settings.git.forcePush.save.disabled":"எப்போதும் புஷ் கட்டாயம் முடக்கப்பட்டது","settings.git.forcePush.save.enabled":"எப்போதும் புஷ் கட்டாயம் இயக்கப்பட்டது","settings.git.forcePush.save.error":"புஷ் கட்டாயம் அமைப்பைச் சேமிக்க முடியவில்லை","settings.git.prInstructions.ariaLabel":"இழுத்தல் கோரிக்கை அறிவுறுத்தல்கள்","settings.git.prInstructions.description":"Codex-ஆல் உருவாக்கப்பட்ட இழுத்தல் கோரிக்கை அமைப்புகளில் இணைக்கப்பட்டது.","settings.git.prInstructions.label":"இழுத்தல் கோரிக்கை அறிவுறுத்தல்கள்","settings.git.prInstructions.placeholder":"இழுத்தல் கோரிக்கை வழிகாட்டுதலைச் சேர்க்கவும்…","settings.git.prInstructions.save":"சேமிக்கவும்","settings.git.prInstructions.save.error":"இழுத்தல் கோரிக்கை அறிவுறுத்தல்களைச் சேமிக்க முடியவில்லை.","settings.git.prInstructions.save.success":"சேமிக்கப்பட்ட இழுத்தல் கோரிக்கை அறிவுறுத்தல்கள்","settings.ide.defaultOpenTarget.description":"கோப்புகள் மற்றும் கோப்புறைகள் இயல்புநிலையாகத் திறக்கும் இடம்","settings.ide.defaultOpenTarget.label":"இயல்புநிலை திறப்பு இலக்கு","settings.ide.defaultOpenTarget.placeholder":"இலக்குகள் எதுவும் கிடைக்கவில்லை","settings.ide.language.auto":"தானாக கண்டறிதல்","settings.ide.language.autoOption":"தானாக கண்டறிதல்","settings.ide.language.description":"செயலியின் UIக்கான மொழி","settings.ide.language.label":"மொழி","settings.ide.language.search":"மொழிகளைத் தேடுக","settings.layout.actionButton":"நீட்டிப்பை மீண்டும் தொடங்கு","settings.layout.actionTitle":"செயலுடன் கூடிய அமைப்புகள்","settings.layout.fullWidthTitle":"அமைப்புகள் (முழு அகலம்)","settings.layout.title":"அமைப்புகள்","settings.localEnvironments.actions.add":"செயலைச் சேர்","settings.localEnvironments.actions.add.description":"கருவிப்பட்டியிலிருந்து இயக்க ஒரு புதிய கட்டளையை உருவாக்கவும்.","settings.localEnvironments.actions.add.save":"சேமிக்கவும்","settings.localEnvironments.actions.empty":"லோக்கல் கருவிப்பட்டியிலிருந்து கட்டளைகளை இயக்க ஒரு செயலைச் சேர்க்கவும்.","settings.localEnvironments.actions.icon.debug":"பிழைத்திருத்தம்","settings.localEnvironments.actions.icon.run":"இயக்கு","settings.localEnvironments.actions.icon.test":"சோதனை","settings.localEnvironments.actions.icon.tool":"கருவி","settings.localEnvironments.actions.item.button.delete":"நீக்கவும்","settings.localEnvironments.actions.item.command":"நடவடிக்கை ஸ்கிரிப்ட்","settings.localEnvironments.actions.item.name":"பெயர்","settings.localEnvironments.actions.item.platforms":"Platforms","settings.localEnvironments.actions.item.platforms.help":"ஒரு குறிப்பிட்ட OS -இல் மட்டுமே இயங்கும்.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"பிளாட்ஃபார்ம் தேர்வு","settings.localEnvironments.actions.item.platforms.specific":"பிளாட்ஃபார்ம் சார்ந்தது","settings.localEnvironments.actions.item.platforms.windows":"வின்டோஸ்","settings.localEnvironments.actions.item.tooltip.delete":"நீக்கவும்","settings.localEnvironments.actions.title":"நடவடிக்கைகள்","settings.localEnvironments.breadcrumb.back":"பின் செல்க","settings.localEnvironments.breadcrumb.edit":"திருத்து","settings.localEnvironments.breadcrumb.root":"சூழல்கள்","settings.localEnvironments.environment.actions.description":"இந்த நடவடிக்கைகள் எந்தக் கட்டளையையும் இயக்க முடியும், மேலும் அவை தலைப்பில் காட்டப்படும்.","settings.localEnvironments.environment.actionsLabel":"நடவடிக்கைகள்","settings.localEnvironments.environment.create":"லோக்கல் சூழலை உருவாக்கு","settings.localEnvironments.environment.defaultName":"லோக்கல்","settings.localEnvironments.environment.edit":"லோக்கல் சூழலைத் திருத்து","settings.localEnvironments.environment.empty":"இந்த ஒர்க்ட்ரீக்கு இதுவரை எந்த லோக்கல் சூழலும் உள்ளமைக்கப்படவில்லை.","settings.localEnvironments.environment.name":"பெயர்","settings.localEnvironments.environment.setup":"ஸ்கிரிப்டை அமைக்கவும்","settings.localEnvironments.environment.setup.description":"இந்த ஸ்கிரிப்ட், ஒர்க்ட்ரீ உருவாக்கத்தில் இயங்கும்.","settings.localEnvironments.environment.setup.hint":"திட்ட மூலத்தில் இயங்குகிறது.","settings.localEnvironments.environment.setup.platformOverrides":"பிளாட்ஃபார்ம் மேலெழுதப்படுகிறது","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} அமைவு ஸ்கிரிப்டைச் சேர்","settings.localEnvironments.environment.setup.platformOverrides.description":"குறிப்பிட்ட OSகளுக்கான இயல்புநிலை ஸ்கிரிப்டை மேலெழுதும்.","settings.localEnvironments.environment.setup.platformOverrides.remove":"அகற்றவும்","settings.localEnvironments.environment.setup.script":"ஸ்கிரிப்ட்","settings.localEnvironments.environment.title":"சூழல் விவரங்கள்","settings.localEnvironments.file.missing":"இந்தக் கோப்பை முதல் முறையாக உருவாக்க சேமிக்கவும்.","settings.localEnvironments.file.parseError":"ஏற்கனவே உள்ள கோப்பைப் பாகுபடுத்த முடியவில்லை. சேமிப்பது அதை மேலெழுதும். ({error})","settings.localEnvironments.file.path":"கோப்பு: {path}","settings.localEnvironments.file.readError":"லோக்கல் சூழல் தரவை ஏற்றுவதில் தோல்வி. ({error})","settings.localEnvironments.file.title":"லோக்கல் சூழல் கோப்பு","settings.localEnvironments.loading.body":"உங்கள் திட்ட உள்ளமைவைப் பெறுகிறது.","settings.localEnvironments.loading.title":"லோக்கல் சூழல்களை ஏற்றுகிறது","settings.localEnvironments.preview.devOnly":"(DEV மட்டும்)","settings.localEnvironments.preview.save":"சேமிக்கவும்","settings.localEnvironments.preview.saveError":"கோப்பைச் சேமிப்பது தோல்வியுற்றது. ({error})","settings.localEnvironments.preview.title":"முன்னோட்டம்","settings.localEnvironments.save.disabled.name":"சேமிக்க ஒரு சூழல் பெயரைச் சேர்க்கவும்.","settings.localEnvironments.save.disabled.noChanges":"சேமிக்க எந்த மாற்றங்களும் இல்லை.","settings.localEnvironments.save.disabled.saving":"சேமிக்கிறது…","settings.localEnvironments.save.success":"லோக்கல் சூழல் சேமிக்கப்பட்டது","settings.localEnvironments.unavailable.body":"இந்தத் திட்டத்திற்கான லோக்கல் சூழல் அமைப்புகளை எங்களால் ஏற்ற முடியவில்லை.","settings.localEnvironments.unavailable.title":"லோக்கல் சூழல்கள் கிடைக்கவில்லை","settings.localEnvironments.workspace.add":"திட்டத்தைச் சேர்","settings.localEnvironments.workspace.title":"திட்டம்","settings.localEnvironments.workspaceSelect.addLabel":"சூழலைச் சேர்க்க","settings.localEnvironments.workspaceSelect.description":"லோக்கல் சூழல்கள் Codexக்கு ஒரு திட்டத்திற்கான ஒர்க்ட்ரீக்களை எப்படி அமைப்பது என்று கூறுகின்றன. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"இன்னும் திட்டங்கள் இல்லை. லோக்கல் சூழல்களை உள்ளமைக்க ஒன்றைச் சேர்க்கவும்.","settings.localEnvironments.workspaceSelect.errorLabel":"சூழலுக்கு கவனம் தேவை","settings.localEnvironments.workspaceSelect.learnMore":"மேலும் அறிக","settings.localEnvironments.workspaceSelect.listLabel":"கிடைக்கும் திட்டங்கள்","settings.localEnvironments.workspaceSelect.loading":"திட்டங்களை ஏற்றுகிறது.","settings.localEnvironments.workspaceSelect.loadingLabel":"சூழலை ஏற்றுகிறது","settings.localEnvironments.workspaceSelect.title":"ஒரு திட்டத்தைத் தேர்ந்தெடுக்கவும்","settings.localEnvironments.workspaceSelect.viewAction":"காட்டு","settings.mcp.addServer":"சேவையகத்தைச் சேர்","settings.mcp.app.configure":"கட்டமை","settings.mcp.app.connect":"இணை","settings.mcp.apps.refresh":"புதுப்பி","settings.mcp.detail.addArgument":"ஆர்க்யுமெண்ட்டைச் சேர்","settings.mcp.detail.addEnvVar":"சூழல் வேரியபிளைச் சேர்","settings.mcp.detail.addEnvVarPassthrough":"வேரியபிளைச் சேர்","settings.mcp.detail.args":"ஆர்க்யுமெண்ட்கள்","settings.mcp.detail.back":"பின் செல்க","settings.mcp.detail.command":"தொடங்குவதற்கான கமாண்ட்","settings.mcp.detail.cwd":"செயல்படும் கோப்பகம்","settings.mcp.detail.docs":"MCP ஆவணத்தைத் திறக்கும்","settings.mcp.detail.docs.link":"ஆவணங்கள்","settings.mcp.detail.envVarPassthrough":"சூழல் வேரியபிள் பாஸ்த்ரூ","settings.mcp.detail.envVars":"சூழல் மாறிகள்","settings.mcp.detail.http.addEnvHeader":"வேரியபிளைச் சேர்","settings.mcp.detail.http.addHeader":"தலைப்பைச் சேர்","settings.mcp.detail.http.bearerToken":"Bearer token env var","settings.mcp.detail.http.envHeaders":"சூழல் வேரியபிள்களின் தலைப்புகள்","settings.mcp.detail.http.headers":"தலைப்புகள்","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"பெயர்","settings.mcp.detail.save":"சேமிக்கவும்","settings.mcp.detail.switchTransportNotice":"நீங்கள் MCP சர்வர் வகையை மாற்ற விரும்பினால், முதலில் நிறுவல் நீக்குங்கள்.","settings.mcp.detail.titleExisting":"{name} MCP-ஐப் புதுப்பிக்கவும்","settings.mcp.detail.titleNew":"தனிப்பயன் MCP உடன் இணைக்கவும்","settings.mcp.detail.transport.http":"ஸ்ட்ரீம் செய்யத்தக்க HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"நிறுவல் நீக்கு","settings.mcp.empty":"தனிப்பயன் MCP சேவையகங்கள் எதுவும் இணைக்கப்படவில்லை","settings.mcp.myServers":"தனிப்பயன் சேவையகங்கள்","settings.mcp.partnerServer.description.figma":"முழு Figma சூழலைக் கொண்டு வருவதன் மூலம் சிறந்த கோடிங்கை உருவாக்குங்கள்","settings.mcp.partnerServer.description.github":"பணிப்பாய்வுகளை தானியங்குபடுத்தவும் தரவைப் பிரித்தெடுக்கவும் GitHub APIகளுடன் ஒருங்கிணைக்கலாம்","settings.mcp.partnerServer.description.linear":"Linear-இன் சிக்கல் கண்காணிப்பு மற்றும் திட்ட மேலாண்மையுடன் ஒருங்கிணைக்கலாம்","settings.mcp.partnerServer.description.notion":"ஆவணங்களைப் படிக்கலாம், பக்கங்களைப் புதுப்பிக்கலாம், பணிகளை நிர்வகிக்கலாம்","settings.mcp.partnerServer.description.playwright":"வடிவமைப்பு மற்றும் சோதனை UI ஐ செயல்படுத்த உலாவி ஆட்டோமேஷனை ஒருங்கிணைக்கலாம்","settings.mcp.partnerServer.install":"நிறுவுக","settings.mcp.partnerServer.installAndAuthenticate":"நிறுவி அங்கீகரிக்கவும்","settings.mcp.partnerServer.logoAlt":"{label} லோகோ","settings.mcp.partnerServer.manage":"நிர்வகி","settings.mcp.partnerServer.vendor":"{vendor} மூலம்","settings.mcp.recommendedServers":"பரிந்துரைக்கப்படும் சேவையகங்கள்","settings.mcp.restartApp":"மீண்டும் தொடங்கவும்","settings.mcp.restartExtension":"நீட்டிப்பை மீண்டும் தொடங்கவும்","settings.mcp.server.enable":"செயல்படுத்து","settings.mcp.server.login":"அங்கீகரிக்கவும்","settings.mcp.server.settings":"அமைப்புகள்","settings.multiselect.createOption":'"{value}" உருவாக்கு',"settings.multiselect.removeOption":"அகற்றவும்","settings.nav.account":"கணக்கு","settings.nav.agent":"கட்டமைப்பு","settings.nav.ariaLabel":"அமைப்புகள்","settings.nav.back":"செயலிக்குத் திரும்புக","settings.nav.data-controls":"காப்பகப்படுத்திய தொடர்கள்","settings.nav.environments":"கிளவுட் சூழல்கள்","settings.nav.externalTooltip":"[alpha] உலாவியில் திறக்கும்","settings.nav.general-settings":"பொது","settings.nav.git-settings":"Git","settings.nav.local-environments":"சூழல்கள்","settings.nav.mcp-settings":"MCP சேவையகங்கள்","settings.nav.notImplemented":"[alpha] ஆல்பாவில் கிடைக்கவில்லை","settings.nav.personalization":"தனிப்பயனாக்கம்","settings.nav.skills-settings":"திறன்கள்","settings.nav.usage-analytics":"பயன்பாடு & பகுப்பாய்வு","settings.nav.worktrees":"ஒர்க்ட்ரீகள்","settings.openSourceLicenses.back":"பின் செல்க","settings.openSourceLicenses.loading":"ஏற்றுகிறது…","settings.openSourceLicenses.missing":"மூன்றாம் தரப்பு அறிவிப்புகள் எதுவும் கிடைக்கவில்லை.","settings.openSourceLicenses.notSupported":"இந்த ஹோஸ்டில் கிடைக்கவில்லை.","settings.openSourceLicenses.rowDescription":"தொகுக்கப்பட்ட சார்புகளுக்கான மூன்றாம் தரப்பு அறிவிப்புகள்","settings.openSourceLicenses.rowLabel":"திறந்த மூல உரிமங்கள்","settings.openSourceLicenses.subtitle":"இந்தச் செயலியில் சேர்க்கப்பட்டுள்ள சார்புநிலைகளுக்கான மூன்றாம் தரப்பு அறிவிப்புகள்","settings.openSourceLicenses.title":"திறந்த மூல உரிமங்கள்","settings.openSourceLicenses.view":"காட்டு","settings.personalization.agents.description":"உங்களுக்கு ஏற்றவாறு Codex-ஐ மாற்றியமைக்கும் வழிமுறைகளைத் திருத்தவும். {learnMore}","settings.personalization.agents.learnMore":"மேலும் அறிக","settings.personalization.agents.loadError":"agents.md-ஐ ஏற்ற முடியவில்லை.","settings.personalization.agents.loading":"agents.md -ஐ ஏற்றுகிறது…","settings.personalization.agents.placeholder":"உங்கள் வழமையான அறிவுறுத்தல்களைச் சேர்க்கவும்…","settings.personalization.agents.retry":"மீண்டும் முயற்சிக்கவும்","settings.personalization.agents.save":"சேமிக்கவும்","settings.personalization.agents.save.error":"agents.md -ஐச் சேமிக்க முடியவில்லை","settings.personalization.agents.save.success":"சேமிக்கப்பட்ட agents.md","settings.personalization.agents.title":"தனிப்பயன் அறிவுறுத்தல்கள்","settings.personalization.personality.description":"Codex பதில்களுக்கு இயல்புநிலை தொனியைத் தேர்வுசெய்யலாம்","settings.personalization.personality.label":"ஆளுமை","settings.sample.contentBody":"உங்கள் அமைப்புகள் பேனல்களை சீரான இடைவெளியுடன் உருவாக்க இந்த அமைப்பைப் பயன்படுத்தவும்.","settings.sample.contentTitle":"மாதிரி உள்ளடக்கத் தொகுதி","settings.section.account":"கணக்கு","settings.section.agent":"கட்டமைப்பு","settings.section.data-controls":"காப்பகப்படுத்திய தொடர்கள்","settings.section.environments":"கிளவுட் சூழல்கள்","settings.section.external":"ஆல்பாவின்போது உங்கள் உலாவியில் திறக்கும்","settings.section.general-settings":"பொது","settings.section.git-settings":"Git","settings.section.local-environments":"சூழல்கள்","settings.section.mcp-settings":"MCP சேவையகங்கள்","settings.section.mcp-settings.docs":"ஆவணங்கள்","settings.section.mcp-settings.subtitle":"வெளிப்புற கருவிகள் மற்றும் தரவு மூலங்களை இணைக்கவும்.","settings.section.personalization":"தனிப்பயனாக்கம்","settings.section.skills-settings":"திறன்கள்","settings.section.unavailable":"இன்னும் ஆல்பாவில் கிடைக்கவில்லை","settings.section.usage-analytics":"பயன்பாடு & பகுப்பாய்வு","settings.section.worktrees":"ஒர்க்ட்ரீகள்","settings.threadDetail.description":"தொடர்களில் எவ்வளவு கட்டளை வெளியீடு காட்டப்பட வேண்டும் என்பதைத் தேர்வுசெய்யலாம்","settings.threadDetail.label":"தொடரின் விவரம்","settings.worktrees.conversation.untitled":"தலைப்பிடாத உரையாடல்","settings.worktrees.delete.error":"ஒர்க்ட்ரீயை நீக்க முடியவில்லை","settings.worktrees.empty.body":"Codex-ஆல் உருவாக்கப்பட்ட ஒர்க்ட்ரீகள் இங்கே தோன்றும்.","settings.worktrees.empty.title":"ஒர்க்ட்ரீகள் எதுவும் இதுவரை இல்லை","settings.worktrees.error.body":"ஒர்க்ட்ரீகளை ஏற்றும்போது ஏதோ தவறு ஏற்பட்டது.","settings.worktrees.error.retry":"மீண்டும் முயற்சிக்கவும்","settings.worktrees.error.title":"ஒர்க்ட்ரீகளை ஏற்ற முடியவில்லை","settings.worktrees.loading.body":"ஒர்க்ட்ரீ விவரங்களைப் பெறுகிறது.","settings.worktrees.loading.title":"ஒர்க்ட்ரீகளை ஏற்றுகிறது","settings.worktrees.repository.loading":"களஞ்சிய மெட்டாடேட்டாவை ஏற்றுகிறது…","settings.worktrees.repository.unknown":"தெரியாத ரிபாசிட்டரி","settings.worktrees.row.conversations":"உரையாடல்கள்","settings.worktrees.row.conversations.empty":"இந்த ஒர்க்ட்ரீயுடன் எந்த உரையாடல்களும் இணைக்கப்படவில்லை.","settings.worktrees.row.conversations.loading":"உரையாடல்களை ஏற்றுகிறது...","settings.worktrees.row.delete":"நீக்கவும்","settings.worktrees.row.title":"பணிப்பிரிவு","sidebarElectron.addWorkspaceRoot":"புதிய திட்டத்தைச் சேர்","sidebarElectron.archiveThread":"தொடரைக் காப்பிடு","sidebarElectron.archiveThreadError":"தொடரை ஆவணக் காப்பிட முடியவில்லை","sidebarElectron.collapseFolder":"கோப்புறையைச் சுருக்குக","sidebarElectron.createStableWorktree.dialog.cancel":"ரத்துசெய்க","sidebarElectron.createStableWorktree.dialog.create":"உருவாக்கு","sidebarElectron.debugNavLink":"பிழைத்திருத்தம்","sidebarElectron.editWorkspaceRootOptionName":"பெயரை திருத்துக","sidebarElectron.expandFolder":"கோப்புறையை விரிவாக்குக","sidebarElectron.groupByMenu.recency":"காலவரிசைப் பட்டியல்","sidebarElectron.groupByMenu.title":"ஒழுங்கமைக்கவும்","sidebarElectron.groupByMenu.workspace":"திட்டத்தின்படி","sidebarElectron.inboxRouteNavLink":"ஆட்டோமேஷன்கள்","sidebarElectron.markThreadUnread":"படிக்காததாகக் குறி","sidebarElectron.missingWorkspaceRoot":"இந்தத் திட்டக் கோப்புறை நீக்கப்பட்டது அல்லது நகர்த்தப்பட்டது","sidebarElectron.newThread":"புதிய தொடர்","sidebarElectron.newThreadInGroup":"{folder}-இல் புதிய தொடரைத் தொடங்கவும்","sidebarElectron.noRecentThreads":"சமீபத்திய தொடர்கள் இல்லை","sidebarElectron.noTasks":"தொடர்கள் ஏதுமில்லை","sidebarElectron.noTasks.start":"ஒரு புதிய திட்டத்தைச் சேர்","sidebarElectron.noTasksWithFilter":"வடிகட்டிகளுடன் பொருந்தும் தொடர்கள் ஏதுமில்லை","sidebarElectron.pinnedThreads":"பின்செய்த தொடர்கள்","sidebarElectron.recentNavLink":"தொடர்கள்","sidebarElectron.recentThreads":"சமீபத்திய தொடர்கள்","sidebarElectron.removeWorkspaceRootOption":"அகற்று","sidebarElectron.renameThread":"தொடருக்கு பெயரை மாற்றுக","sidebarElectron.renameThreadDialogAriaLabel":"தொடரின் தலைப்பு","sidebarElectron.renameThreadDialogCancel":"ரத்துசெய்","sidebarElectron.renameThreadDialogPlaceholder":"தலைப்பைச் சேர்க்கவும்…","sidebarElectron.renameThreadDialogSave":"சேமிக்கவும்","sidebarElectron.renameThreadDialogSubtitle":"இதைச் சுருக்கமாகவும் அடையாளம் காணக்கூடியதாகவும் வைத்திருங்கள்.","sidebarElectron.renameThreadDialogTitle":"தொடருக்கு பெயரை மாற்றுக","sidebarElectron.renameThreadError":"தொடரின் பெயரை மாற்ற முடியவில்லை","sidebarElectron.renameWorkspaceRootOptionLabel":"காட்சிப் பெயர்","sidebarElectron.showLess":"குறைவாகக் காட்டு","sidebarElectron.showMenu.all":"எல்லா தொடர்களும்","sidebarElectron.showMenu.relevant":"தொடர்புடையது","sidebarElectron.showMenu.relevantHint":"தற்போதைய கிளை, ஒர்க்ட்ரீகள் அல்லது உங்கள் கவனம் தேவைப்படும் பிற தொடர்களுக்கான சமீபத்திய தொடர்களை மட்டும் காட்டும்.","sidebarElectron.showMenu.title":"காட்டு","sidebarElectron.showMenu.tooltip":"தொடர்களை வடிகட்டலாம், வரிசைப்படுத்தலாம், ஒழுங்கமைக்கலாம்","sidebarElectron.showMenu.trigger":"பக்கப்பட்டி தொடர்களை வடிகட்டு","sidebarElectron.showMore":"மேலும் காட்டு","sidebarElectron.skillsRouteNavLink":"ஸ்கில்கள்","sidebarElectron.sortMenu.created":"உருவாக்கப்பட்டது","sidebarElectron.sortMenu.title":"இதன்படி வரிசைப்படுத்து","sidebarElectron.sortMenu.updated":"புதுப்பிக்கப்பட்டது","sidebarElectron.taskNavigation":"ஆட்டோமேஷன் கோப்புறைகள்","sidebarElectron.tasksInFolder":"{folder}-இல் ஆட்டோமேஷன்கள்","sidebarElectron.workspaceOptions":"{folder}க்கான திட்ட நடவடிக்கைகள்","sidebarElectron.worktreeGroupTooltip":"இது ஒரு git ஒர்க்ட்ரீ","skills.appsPage.createSkill":"புதிய ஸ்கில்","skills.appsPage.empty.skills":"ஸ்கில்கள் எதுவுமில்லை","skills.appsPage.search.skills":"ஸ்கில்களைத் தேடவும்","skills.appsPage.search.skills.label":"ஸ்கில்களைத் தேடவும்","skills.appsPage.section.installedApps":"நிறுவப்பட்டது","skills.appsPage.section.skills":"திறன்கள்","skills.appsPage.subheading":"Codexக்கு சூப்பர்பவரகளைக் கொடுங்கள்.<link>மேலும் அறிக</link>","skills.appsPage.tab.recommended":"பரிந்துரைக்கப்படுவது","skills.appsPage.tab.skills":"திறன்கள்","skills.card.contentsError":"ஸ்கில் உள்ளடக்கங்களை ஏற்ற முடியவில்லை.","skills.card.disable":"முடக்கு","skills.card.disableSuccess":"{skillName} ஸ்கில் முடக்கப்பட்டது","skills.card.disabledBadge":"முடக்கப்பட்டது","skills.card.enable":"செயல்படுத்து","skills.card.enableSuccess":"{skillName} ஸ்கில் இயக்கப்பட்டது","skills.card.loadingContents":"ஸ்கில் உள்ளடக்கங்களை ஏற்றுகிறது...","skills.card.more":"மேலதிகச் செயல்கள்","skills.card.open":"திறக்கவும்","skills.card.removeFailed":"ஸ்கில்லை நிறுவல் நீக்க முடியவில்லை","skills.card.removeSuccess":"{skillName} ஸ்கில் நிறுவல் நீக்கப்பட்டது","skills.card.toggleEnabledError":"ஸ்கில்களைப் புதுப்பிக்க முடியவில்லை","skills.card.try":"முயற்சித்திடுக","skills.card.trySkill":"ஸ்கில்லை முயற்சித்திடுக","skills.card.uninstall":"நிறுவல் நீக்கு","skills.hero.dotLabel":"ஸ்லைடு {index}க்குச் செல்லவும்","skills.hero.next":"அடுத்த சிறப்பு ஸ்கில்","skills.hero.trySkill":"ஸ்கில்லை முயற்சித்திடுக","skills.page.createSkill":"புதிய ஸ்கில்","skills.page.empty":"ஸ்கில்கள் எதுவுமில்லை","skills.page.filteredEmpty":"உங்கள் வடிகட்டிகளுடன் பொருந்துகின்ற உருப்படிகள் எதுவும் இல்லை","skills.page.filteredEmptyDescription":"உங்கள் தேடல் அல்லது ஸ்கோப் வடிப்பான்களை சரிசெய்ய முயற்சிக்கவும்","skills.page.heading":"திறன்கள்","skills.page.loading":"ஸ்கில்களை ஏற்றுகிறது...","skills.page.refreshSkills":"புதுப்பி","skills.page.refreshSkillsToUseNew":"புதிய ஸ்கில்(களை) பயன்படுத்த புதுப்பிக்கவும்","skills.page.search":"ஸ்கில்களைத் தேடவும்","skills.page.search.label":"ஸ்கில்களைத் தேடவும்","skills.page.subheading":"Codexக்கு சூப்பர்பவரகளைக் கொடுங்கள்.<link>மேலும் அறிக</link>","skills.preview.copyPrompt":"ப்ராம்ப்ட்டை நகலெடு","skills.preview.examplePrompt":"உதாரண தூண்டி","skills.recommended.error":"பரிந்துரைக்கப்பட்ட ஸ்கில்களை ஏற்ற முடியவில்லை","skills.recommended.install":"நிறுவுக","skills.recommended.installSkill":"ஸ்கில்லை நிறுவு","skills.recommended.installSuccess":"{skillName} ஸ்கில் நிறுவப்பட்டது","skills.recommended.installed":"நிறுவப்பட்டது","skills.scope.admin":"நிர்வாகி","skills.scope.adminInstalled":"நிர்வாகி நிறுவியது","skills.scope.builtIn":"அமைப்பு","skills.scope.personal":"தனிப்பட்ட","skills.scope.repo":"களஞ்சியம்","skills.scope.system":"அமைப்பு","skills.scope.team":"குழு","skills.scope.user":"பயனர்","skills.section.installed":"நிறுவப்பட்டது","skills.section.recommended":"பரிந்துரைக்கப்படுவது","story.slidingToggle.existing":"தற்போதுள்ளது","story.slidingToggle.fromLocal":"லோக்கலிலிருந்து","story.slidingToggle.new":"புதியது","story.slidingToggle.toLocal":"லோக்கலுக்கு","terminal.close":"டெர்மினலை மூடுக","terminal.title":"டெர்மினல்","thinkingShimmer.default":"யோசிக்கிறது","threadEnvIcon.cloudTooltip":"இந்த உரையாடல் Codex கிளவுட்டில் இயங்குகிறது.","threadEnvIcon.localTooltip":"இந்த உரையாடல் அகமாய் இயங்குகிறது.","threadEnvIcon.worktreeTooltip":"இந்த உரையாடல் ஒரு லோக்கல் git ஒர்க்ட்ரீயில் இயங்குகிறது.","threadHeader.archiveConfirmCancel":"ரத்துசெய்","threadHeader.archiveConfirmConfirm":"ஆவணக் காப்பிடவும்","threadHeader.archiveConfirmSubtitle":"உங்கள் காப்பகப்படுத்தப்பட்ட தொடர்களில் அதைப் பின்னர் காணலாம்.","threadHeader.archiveConfirmTitle":"தொடரைக் காப்பகப்படுத்தவா?","threadHeader.copyAppLink":"டீப்லிங்க்கை நகலெடு","threadHeader.copySessionId":"அமர்வு ஐடியை நகலெடு","threadHeader.copyWorkingDirectory":"செயல்படும் கோப்பகத்தை நகலெடு","threadHeader.forkIntoLocal":"லோக்கலுக்கு ஃபோர்க் செய்யவும்","threadHeader.forkIntoWorktree":"புதிய ஒர்க்ட்ரீக்கு ஃபோர்க் செய்யவும்","threadHeader.forkPendingWorktreePrompt":"இந்த உரையாடலை ஒரு புதிய ஒர்க்ட்ரீயாக மாற்று.","threadHeader.forkPendingWorktreeTitle":"ஃபோர்க் செய்த உரையாடல்","threadHeader.forkThreadError":"தொடரை ஃபோர்க் செய்ய முடியவில்லை","threadHeader.forkThreadRequiresGitRepo":"புதிய ஒர்க்ட்ரீயில் ஃபோர்க் செய்ய ஒரு git ரிபாசிட்டரி தேவை","threadHeader.moreActions":"தொடரின் செயல்கள்","threadPage.newThread":"புதிய தொடர்","threadPage.runAction.changeEnvironment":"சூழலை மாற்று","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} நடவடிக்கைகள்","threadPage.runAction.environmentSelector.label":"சூழலைத் தேர்ந்தெடுக்கும்","threadPage.runAction.label":"இயக்கு","threadPage.runAction.missing.label":"ஒரு ரன் செயலை அமைக்கவும்.","threadPage.runAction.setup.commandLabel":"ரன் செய்வதற்கான கமாண்ட்","threadPage.runAction.setup.description":"Codex-இடம் சார்புகளை எப்படி நிறுவுவது மற்றும் உங்கள் செயலியை எப்படித் தொடங்குவது என்று சொல்லுங்கள்.","threadPage.runAction.setup.editMore":"சூழல் அமைப்புகள்","threadPage.runAction.setup.placeholder":"எ.கா: npm install npm run","threadPage.runAction.setup.submit":"சேமித்து இயக்கு","threadPage.runAction.setup.title":"இயக்கு","threadPage.runAction.tooltip.withEnvironment":"{environmentName} நடவடிக்கைகள்","threadPage.toggleDiffPanel":"diff பேனலை நிலைமாற்று","threadPage.toggleTerminal":"டெர்மினலை நிலைமாற்றுக","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"கோப்புறையைத் திறக்கலாம்","toolSummaryForCmd.exploredFiles":"<verb>பட்டியலிடப்பட்ட</verb> கோப்புகள்","toolSummaryForCmd.exploredFilesInPath":"{path}-இல் <verb>பட்டியலிடப்பட்ட</verb> கோப்புகள்","toolSummaryForCmd.exploringFiles":"கோப்புகளைப் <verb>பட்டியலிடுதல்</verb>","toolSummaryForCmd.exploringFilesInPath":"{path}-இல் கோப்புகளைப் <verb>பட்டியலிடுதல்</verb>","toolSummaryForCmd.ranGenericCommand":"<status>இயக்கப்பட்ட கட்டளை</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>இயக்கப்பட்டது</status> {command}{timer}","toolSummaryForCmd.read":"{path}-ஐப் <verb>படிக்கவும்</verb>","toolSummaryForCmd.runningGenericCommand":"<status>குறியீடு இயங்குகிறது</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}க்கு","toolSummaryForCmd.searchedFor":"{query} தொடர்பாகத் <verb>தேடப்பட்டது</verb>","toolSummaryForCmd.searchedForFiles":"கோப்புகளைத் <verb>தேடியது</verb>","toolSummaryForCmd.searchedForInPath":"{path}-இல் {query} தொடர்பாக <verb>தேடப்பட்டது</verb>","toolSummaryForCmd.searchingFor":"{query}-ஐத் <verb>தேடுகிறது</verb>","toolSummaryForCmd.searchingForFiles":"கோப்புகளைத் <verb>தேடுகிறது</verb>","toolSummaryForCmd.searchingForInPath":"{path}-இல் {query}-ஐத் <verb>தேடுகிறது</verb>","traceRecording.details.noteLabel":"இது நடந்தபோது நீங்கள் என்ன செய்து கொண்டிருந்தீர்கள்? (விரும்பினால்)","traceRecording.details.notePlaceholder":"ஒரு பெரிய தொடருக்குச் சென்று, பின்னர் டேப்களை தொடர்ந்து மாற்றினேன்.…","traceRecording.details.submit":"டிரேஸை அனுப்பு","traceRecording.details.subtitle":"செயல்திறன் சிக்கல்களைக் கண்டறிய உதவுவதற்காக இந்தச் சுயவிவர டிரேஸை நாங்கள் அனுப்பலாம்.","traceRecording.details.title":"சுயவிவர டிரேஸை அனுப்பவா?","traceRecording.progress.subtitle":"இது முடியும் வரை Codex-ஐத் திறந்தே வைத்திருங்கள்.","traceRecording.saving.title":"டிரேஸைச் சேமிக்கிறது…","traceRecording.startDetails.cancel":"ரத்துசெய்","traceRecording.startDetails.submit":"சரி, ரெக்கார்டிங்கைத் தொடங்கு","traceRecording.startDetails.subtitle":"சரி என்பதைக் கிளிக் செய்த பிறகு, செயல்திறன் சிக்கலை மீண்டும் உருவாக்கவும், பின்னர் டிரேஸை நிறுத்தி மதிப்பாய்வு செய்ய மிதக்கும் சிவப்புக் குறிகாட்டியைக் கிளிக் செய்யவும்.","traceRecording.startDetails.title":"டிரேஸ் ரெக்கார்டிங் எப்படி செயல்படுகிறது","traceRecording.stopButton.ariaLabel":"டிரேஸ் ரெக்கார்டிங்கை நிறுத்தும்","traceRecording.upload.successToast":"சுயவிவர டிரேஸ் அனுப்பப்பட்டது.","traceRecording.uploading.title":"டிரேஸை பதிவேற்றுகிறது…","wham.diff.addComment":"கருத்தைச் சேர்க்கவும்","wham.diff.binaryFile":"பைனரி கோப்பு காட்டப்படவில்லை","wham.diff.noContent":"உள்ளடக்கம் இல்லை","wham.fileTag.deleted":"நீக்கப்பட்டது","wham.fileTag.new":"புதியது","wham.formattedRelativeDateTime.compactDaysAgo":"{value}நா","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ம","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}நி","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}மா","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}வா","wham.formattedRelativeDateTime.compactYearsAgo":"{value}வ","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"உங்கள் பணியைச் செய்கிறது","wham.whamProposedTask.title":"பரிந்துரைக்கப்படும் பணி","wham.whamProposedTask.useSuggestion":"பரிந்துரையைப் பயன்படுத்துக","workspaceRootDialog.addError":"திட்டத்தைச் சேர்க்க முடியவில்லை","workspaceRootDialog.cancel":"ரத்துசெய்","workspaceRootDialog.confirmAdd":"திட்டத்தைச் சேர்","workspaceRootDialog.confirmPick":"திட்டத்தைப் பயன்படுத்து","workspaceRootDialog.description":"ஒரு திட்டமாகப் பயன்படுத்த {host}-இல் ஒரு பாதையை உள்ளிடவும்.","workspaceRootDialog.pathLabel":"திட்டப் பாதை","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"திட்டப் பாதையைச் சேர்க்கவும்","workspaceRootDialog.title.pick":"திட்டப் பாதையைத் தேர்ந்தெடுக்கவும்","worktreeInitV2.cancel":"ரத்துசெய்","worktreeInitV2.notification.failedTitle":"ஒர்க்ட்ரீ அமைப்பு தோல்வியடைந்தது","worktreeInitV2.output.empty":"வெளியீட்டிற்காகக் காத்திருக்கிறது…","worktreeInitV2.status.error":"ஒர்க்ட்ரீ அமைப்பு தோல்வியடைந்தது.","worktreeInitV2.status.running":"ஓர் ஒர்க்ட்ரீ உருவாக்கி அமைப்பை இயக்குகிறது.","worktreeInitV2.status.runningFork":"இந்த உரையாடலை ஃபோர்க் செய்ய ஓர் ஒர்க்ட்ரீயை உருவாக்குகிறது.","worktreeInitV2.status.success":"ஒர்க்ட்ரீ தயார்.","worktreeInitV2.title":"ஒர்க்ட்ரீயை உருவாக்குகிறது","worktreeInitV2.workLocallyInstead":"பதிலாக லோக்கலில் செயல்படுக","worktreeRestoreBanner.body":"டிஸ்க் இடத்தை சேமிக்க இந்தத் தொடரின் ஒர்க்ட்ரீ அகற்றப்பட்டது","worktreeRestoreBanner.missing.body":"இந்தத் தொடரின் செயல்பாட்டுக் கோப்பகம் இனி இல்லை","worktreeRestoreBanner.missing.title":"தற்போதைய செயல்பாட்டுக் கோப்பகம் காணவில்லை","worktreeRestoreBanner.restore.error":"ஒர்க்ட்ரீயை மீட்டமைக்க முடியவில்லை: {message}","worktreeRestoreBanner.restore.success":"ஒர்க்ட்ரீ மீட்டெடுக்கப்பட்டது","worktreeRestoreBanner.restoreCta":"ஒர்க்ட்ரீயை மீட்டமைத்திடுக","worktreeRestoreBanner.title":"ஒர்க்ட்ரீ சுத்தப்படுத்தப்பட்டது"};export{e as default};
+const e={"CopyButton.copyTooltip":"நகலெடுக்கவும்","app.sidebar.hide":"பக்கப்பட்டியை மறைக்கும்","app.sidebar.show":"பக்கப்பட்டியைக் காட்டும்","app.sidebar.tooltip":"பக்கப்பட்டியை நிலைமாற்று","appHeader.installUpdate":"இற்றைப்படுத்து","appSunset.body":"செயலியின் இந்தப் பதிப்பு இனி ஆதரிக்கப்படாது. சமீபத்திய பதிப்பை <here>இங்கே</here> பதிவிறக்குங்கள்.","appSunset.title":"புதுப்பிப்பு தேவை","automation.updateDirective.create":"உருவாக்கு","automation.updateDirective.open":"திறக்கவும்","automation.updateDirective.untitled":"பெயரிடப்படாத ஆட்டோமேஷன்","automation.updateDirective.update":"இற்றைப்படுத்து","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# attempt} other {# attempts}}","cloudTaskRow.archiveError":"பணியை ஆவணக் காப்பிட முடியவில்லை","code.diff.requestChange":"மாற்றத்தைக் கோருக","code.diffComment.cancel":"ரத்துசெய்க","code.diffComment.comment":"கருத்து","code.diffComment.delete":"நீக்கவும்","code.diffComment.save":"சேமிக்கவும்","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"எந்தக் கண்டுபிடிப்புகளும் தெரிவிக்கப்படவில்லை.","codex.alert.closeAriaLabel":"மூடுக","codex.appUpsellBanner.cbpApi.message":"Codex செயலி மூலம் வேகமாக உருவாக்குங்கள். இப்போதே அல்லது {learnMoreLink} பதிவிறக்கவும்.","codex.appUpsellBanner.download":"பதிவிறக்கவும்","codex.appUpsellBanner.freeGo.message":"மார்ச் 2 வரை உங்கள் திட்டத்தில் Codex சேர்க்கப்பட்டுள்ளது. வேகமாக உருவாக்க Codex செயலியை முயற்சிக்கவும்.","codex.appUpsellBanner.later":"பின்னர்","codex.appUpsellBanner.learnMoreLowercase":"மேலும் அறிக","codex.appUpsellBanner.new":"புதியது","codex.appUpsellBanner.proPlusBusiness.message":"ஏப்ரல் 2 ஆம் தேதி வரை 2x கட்டண வரம்புகளுடன் Codex செயலியை முயற்சிக்கவும். இப்போதே அல்லது {learnMoreLink} பதிவிறக்கவும்.","codex.appUpsellBanner.title":"Codex செயலி","codex.applyDropdown.header.changes":"மாற்றங்கள்","codex.applyDropdown.header.fileCount":"{count, plural, one {# கோப்பு} other {# கோப்புகள்}}","codex.applyDropdown.header.rows":"வரிசைகள்","codex.applyDropdown.header.title":"மாற்றங்களைப் பிரயோகி","codex.applyDropdown.header.workspace":"திட்டம்","codex.applyDropdown.results.conflicted":"{count, plural, one {1 கோப்பு முரண்படுகிறது:} other {{count} கோப்புகள் முரண்படுகின்றன:}}","codex.applyDropdown.results.empty":"எந்தக் கோப்புகளும் நகலெடுக்கப்படவில்லை","codex.applyDropdown.results.skipped":"{count, plural, one {1 கோப்பு தவிர்க்கப்பட்டது:} other {{count} கோப்புகள் தவிர்க்கப்பட்டன:}}","codex.applyOrRevertBanner.apply":"பிரயோகிக்கவும்","codex.applyOrRevertBanner.applyMessage":"மாற்றங்களைப் பயன்படுத்தி அகமாய்த் தொடரவா?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"இந்தப் பணி {environment}-இல் செய்யப்பட்டதால் சரியாகப் பொருந்தாமல் போகலாம்.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"மாற்றங்கள் {environment}-இல் செய்யப்பட்டதால் சரியாகப் பொருந்தாமல் போகலாம்.","codex.applyOrRevertBanner.reapply":"மீண்டும் பிரயோகிக்கவும்","codex.applyOrRevertBanner.revert":"திரும்பவும்","codex.applyOrRevertBanner.revertMessage":"பிரயோகிக்கப்பட்ட மாற்றங்களை திருப்பியமைக்கவா?","codex.applyResultsDialog.applied":"சுத்தமாகப் பிரயோகிக்கப்பட்டது ({count})","codex.applyResultsDialog.close":"மூடுக","codex.applyResultsDialog.conflicted":"முரண்பட்டது ({count})","codex.applyResultsDialog.noDetails":"கோப்பு விவரங்கள் எதுவும் கிடைக்கவில்லை.","codex.applyResultsDialog.skipped":"தவிர்த்தது ({count})","codex.applyResultsDialog.title":"முடிவுகளைப் பிரயோகிக்கவும்","codex.archiveInfo":"{dataControlsLink}-இல் காப்பகப்படுத்திய அரட்டைகளைக் காண்க.","codex.archiveInfo.dataControlsLink":"தரவு கட்டுப்பாடுகள்","codex.archiveInfo.electron":"{settingsLink}-இல் காப்பகப்படுத்திய அரட்டைகளைக் காண்க","codex.archiveInfo.extension":"உங்கள் .codex கோப்புறையில் காப்பிட்ட அரட்டைகளைப் பார்க்கலாம்.","codex.archiveInfo.settingsLink":"அமைப்புகள்","codex.banner.content.description":"பணிகளை இணையாக இயக்கலாம், எங்கும் முன்னேற்றத்தைக் கண்காணிக்கலாம், AI உடன் PRகளை மதிப்பாய்வு செய்யலாம்.","codex.banner.content.headline":"Codex அனைத்தையும் செய்கிறது.","codex.cloudTaskRow.archiveTask":"பணியைக் ஆவணக் காப்பிடவும்","codex.cloudTaskRow.confirmArchiveTask":"உறுதிப்படுத்துக","codex.command.feedback":"பின்னூட்டம்","codex.command.findInThread":"கண்டுபிடி","codex.command.forceReloadSkills":"ஸ்கில்களை கட்டாயமாக மீளேற்று","codex.command.logOut":"வெளியேறவும்","codex.command.manageTasks":"பணிகளை நிர்வகி","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"பின் செல்க","codex.command.navigateForward":"ஃபார்வர்ட் செய்","codex.command.newThread":"புதிய தொடர்","codex.command.nextThread":"அடுத்த தொடர்","codex.command.openFolder":"கோப்புறையைத் திறக்கலாம்","codex.command.openSkills":"ஸ்கில்களுக்குச் செல்","codex.command.openThreadOverlay":"தொடரை பாப் அவுட் செய்","codex.command.personalitySettings":"ஆளுமை","codex.command.previousThread":"முந்தைய தொடர்","codex.command.settings":"அமைப்புகள்","codex.command.toggleDiffPanel":"diff பேனலை நிலைமாற்று","codex.command.toggleSidebar":"பக்கப்பட்டியை நிலைமாற்று","codex.command.toggleTerminal":"டெர்மினலை நிலைமாற்றுக","codex.commandGroup.app":"செயலி","codex.commandGroup.configure":"கட்டமை","codex.commandGroup.navigation":"வழிசெலுத்தல்","codex.commandGroup.panels":"பேனல்கள்","codex.commandGroup.skills":"ஸ்கில்கள்","codex.commandGroup.thread":"தொடர்","codex.commandGroup.workspace":"திட்டம்","codex.commandMenu.noResults":"பொருத்தங்கள் எதுவும் இல்லை","codex.commandMenu.searchPlaceholder":"தேடல் கட்டளைகள்","codex.commandMenu.suggestedGroup":"பரிந்துரைக்கப்படுவது","codex.commandMenu.switchWorkspace":"திட்டத்தை மாற்று","codex.commandMenu.title":"கட்டளை மெனு","codex.common.retry":"மீண்டும் முயற்சிக்கவும்","codex.composer.searchBranches":"பிராஞ்சுகளைத் தேடவும்","codex.dialog.basic.body":"இது Radix Dialog-ஐச் சுற்றியுள்ள எங்கள் ரேப்பரைப் பயன்படுத்தும் ஓர் எளிய மோடல் உரையாடல்.","codex.dialog.basic.cancel":"ரத்துசெய்க","codex.dialog.basic.confirm":"உறுதிப்படுத்துக","codex.dialog.basic.open":"உரையாடலைத் திறக்கவும்","codex.dialog.basic.title":"மாதிரி உரையாடல்","codex.dialog.long.close":"மூடுக","codex.dialog.long.line":"உரையாடலுக்குள் நீண்ட உள்ளடக்கத்தைக் காட்ட ஸ்குரோல் செய்யக்கூடிய வரி {index}.","codex.dialog.long.open":"நீண்ட உரையாடலைத் திறக்கவும்","codex.dialog.long.title":"நீண்ட உள்ளடக்க உரையாடல்","codex.dialog.unstyled.body":"இந்த கதை, அழைப்பாளர்கள் உரையாடல் உள்ளடக்க பாணியை எப்படி முழுமையாகக் கட்டுப்படுத்த முடியும் என்பதைக் காட்டுகிறது.","codex.dialog.unstyled.open":"ஸ்டைலற்ற உரையாடலைத் திற","codex.dialog.unstyled.title":"ஸ்டைலற்ற உள்ளடக்கம்","codex.diff.openInEditorPrompt.openButton":"எடிட்டரில் திறக்கவும்","codex.diff.openInEditorPrompt.singleLine":"இந்தக் கோப்பு இங்கு காட்ட முடியாதளவு மிகப் பெரியதாக உள்ளது.","codex.diffView.failedToDecodeBase64Diff":"base64 diff -ஐ டிகோட் செய்ய முடியவில்லை","codex.diffView.filesChanged":"{fileCount, plural, one {# file changed} other {# files changed}}","codex.diffView.imagePreviewAlt":"பட முன்னோட்டம்","codex.diffView.imagePreviewEmpty":"படம் இல்லை","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"diff தரவு இல்லை","codex.diffView.pdfPreview.nextPage":"அடுத்த பக்கம்","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"முந்தைய பக்கம்","codex.diffView.pdfPreviewEmpty":"PDF முன்னோட்டம் இல்லை","codex.diffView.pdfPreviewError":"PDF முன்னோட்டத்தை வழங்க முடியவில்லை","codex.diffView.richPreviewDisable":"ரிச் முன்னோட்டத்தை முடக்கும்","codex.diffView.richPreviewEnable":"ரிச் முன்னோட்டத்தை இயக்கும்","codex.diffView.richPreviewLoading":"முன்னோட்டத்தை ஏற்றுகிறது…","codex.diffView.richPreviewToggle":"ரிச் முன்னோட்டத்தை நிலைமாற்றலாம்","codex.diffView.switchToUnified":"ஒருங்கிணைந்த diff-க்கு மாறவும்","codex.environmentSelector.noEnvironment":"சூழல் இல்லை","codex.environments.environmentSettings":"சூழல் அமைப்புகள்","codex.environments.learnMore":"மேலும் அறிக","codex.environments.listError":"சூழல்களை ஏற்ற முடியவில்லை.","codex.environments.noEnvironmentsFound":"சூழல்கள் காணப்படவில்லை","codex.environments.searchError":"சூழல்களைத் தேடுவது தோல்வியுற்றது.","codex.errorBoundary.genericError":"அடடே, ஒரு பிழை ஏற்பட்டுள்ளது","codex.errorBoundary.goHome":"மீண்டும் முயற்சித்திடுக","codex.file.patch.missing":"இந்தக் கோப்பிற்கான பேட்சை உருவாக்க முடியவில்லை.","codex.gallery.automations.cwdLabel":"திட்டங்கள்","codex.gallery.automations.nameLabel":"பெயர்","codex.gallery.automations.namePlaceholder":"பணியின் சுருக்கத்தை வழங்கு","codex.gallery.automations.promptLabel":"தூண்டி","codex.gallery.automations.promptPlaceholder":"Codex என்ன செய்ய வேண்டும் என்பதை விவரிக்கவும்","codex.gallery.dialogs.automation.label":"தானியங்கு உரையாடல்","codex.gallery.dialogs.basic.body":"நேரடியான உறுதிப்படுத்தல்கள் அல்லது குறுகிய படிவங்களுக்கு இந்த அமைப்பைப் பயன்படுத்தவும்.","codex.gallery.dialogs.basic.cancel":"ரத்துசெய்","codex.gallery.dialogs.basic.confirm":"உறுதிப்படுத்துக","codex.gallery.dialogs.basic.label":"அடிப்படை உரையாடல்","codex.gallery.dialogs.basic.title":"மாதிரி உரையாடல்","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"சிக்கலை விவரிக்கவும்","codex.gallery.dialogs.feedbackSubmission.bad":"மோசமான முடிவு","codex.gallery.dialogs.feedbackSubmission.bug":"பிழை","codex.gallery.dialogs.feedbackSubmission.good":"சிறந்த முடிவு","codex.gallery.dialogs.feedbackSubmission.includeLogs":"தற்போதைய Codex அமர்வுப் பதிவுகளைச் சேர்க்கவும்","codex.gallery.dialogs.feedbackSubmission.label":"பின்னூட்டச் சமர்ப்பிப்பு","codex.gallery.dialogs.feedbackSubmission.other":"வேறு","codex.gallery.dialogs.feedbackSubmission.placeholder":"இங்கே சிக்கலை விவரிக்கவும்","codex.gallery.dialogs.feedbackSubmission.submit":"சமர்ப்பி","codex.gallery.dialogs.feedbackSubmission.title":"பின்னூட்டம்","codex.gallery.dialogs.feedbackSuccess.body":"கருத்து பதிவேற்றப்பட்டது. சிக்கல் தொடர்ந்தால், தயவுசெய்து ஒரு GitHub சிக்கலைத் திறக்கவும் அல்லது ஏற்கெனவே உள்ள திறந்த சிக்கலில் தொடரின் ஐடியைக் குறிப்பிடவும்:","codex.gallery.dialogs.feedbackSuccess.dismiss":"நிராகரி","codex.gallery.dialogs.feedbackSuccess.label":"பின்னூட்டம் வெற்றி","codex.gallery.dialogs.feedbackSuccess.title":"பின்னூட்டம் பதிவேற்றப்பட்டது","codex.gallery.dialogs.gitApplyResults.applied":"சுத்தமாகப் பிரயோகிக்கப்பட்டது (2)","codex.gallery.dialogs.gitApplyResults.close":"மூடுக","codex.gallery.dialogs.gitApplyResults.conflicted":"முரண்பட்டது (1)","codex.gallery.dialogs.gitApplyResults.label":"முடிவுகளைப் பிரயோகிக்கவும்","codex.gallery.dialogs.gitApplyResults.title":"முடிவுகளைப் பிரயோகிக்கவும்","codex.gallery.dialogs.gitPushError.body":"தொலைதூர வரலாற்றை மேலெழுதுவது பாதுகாப்பானது என்று உங்களுக்குத் தெரிந்தால், சமீபத்திய மாற்றங்களை இழுக்கவும் அல்லது கட்டாயப்படுத்தவும்.","codex.gallery.dialogs.gitPushError.cancel":"ரத்துசெய்","codex.gallery.dialogs.gitPushError.force":"புஷ் கட்டாயப்படுத்து","codex.gallery.dialogs.gitPushError.label":"புஷ் பிழை","codex.gallery.dialogs.gitPushError.subtitle":"உங்கள் கிளை, தோற்றம்/பிரதானமானதற்குப் பின்னால் உள்ளது.","codex.gallery.dialogs.gitPushError.title":"மாற்றங்களை புஷ் செய்ய முடியவில்லை","codex.gallery.dialogs.gitRevert.cancel":"ரத்துசெய்","codex.gallery.dialogs.gitRevert.confirm":"திரும்பவும்","codex.gallery.dialogs.gitRevert.label":"மாற்றங்களை மாற்றியமை","codex.gallery.dialogs.gitRevert.skip":"மீண்டும் கேட்க வேண்டாம்","codex.gallery.dialogs.gitRevert.subtitle":"இந்தச் செயல் இந்த மாற்றங்கள் அனைத்தையும் நீக்குகிறது.","codex.gallery.dialogs.gitRevert.title":"மாற்றங்களை மாற்றியமைக்கவா?","codex.gallery.dialogs.longForm.label":"நீண்ட வடிவ உரையாடல்","codex.gallery.dialogs.proseModal.body":"இந்த மோடல் பாணியானது நீண்ட அறிவுறுத்தல்கள், ஆன்போர்டிங் அல்லது ரிச் உள்ளடக்கத் தொகுதிகளுக்குப் பயன்படுத்தப்படுகிறது.","codex.gallery.dialogs.proseModal.close":"மூடுக","codex.gallery.dialogs.proseModal.subtitle":"நீண்ட படிவ வழிகாட்டுதல் அல்லது ஆவணங்களை இங்கே பகிரவும்.","codex.gallery.dialogs.proseModal.title":"உரைநடை மோடல்","codex.gallery.dialogs.submitBlocked.label":"சமர்ப்பிப்பு தடுக்கப்பட்டது","codex.gallery.dialogs.submitBlocked.message":"திட்டம் கிடைக்காததால் உங்கள் செய்தியை அனுப்ப முடியவில்லை.","codex.gallery.dialogs.submitBlocked.ok":"சரி","codex.gallery.dialogs.submitBlocked.title":"செய்தி அனுப்ப முடியவில்லை","codex.gallery.dialogs.title":"உரையாடல்கள்","codex.gallery.dropdown.filterPlaceholder":"உருப்படிகளை வடிகட்டவும்","codex.gallery.dropdowns.actionRow":"நடவடிக்கை வரிசைகள்","codex.gallery.dropdowns.actionRow.disabled":"முடக்கப்பட்ட நடவடிக்கை","codex.gallery.dropdowns.actionRow.primary":"முதன்மை நடவடிக்கை","codex.gallery.dropdowns.actionRow.secondary":"இரண்டாம் நிலை நடவடிக்கை","codex.gallery.dropdowns.actionRow.trigger":"நடவடிக்கைகளைக் காட்டு","codex.gallery.dropdowns.basic":"அடிப்படை கீழ்தோன்றும் பட்டியல்","codex.gallery.dropdowns.basic.newFile":"புதிய கோப்பு","codex.gallery.dropdowns.basic.newFolder":"புதிய கோப்புறை","codex.gallery.dropdowns.basic.openSettings":"அமைப்புகளைத் திறக்கவும்","codex.gallery.dropdowns.basic.title":"விரைவான செயல்கள்","codex.gallery.dropdowns.basic.trigger":"மெனுவைத் திற","codex.gallery.dropdowns.basic.upload":"பதிவேற்று","codex.gallery.dropdowns.panel":"பேனல் மேற்பரப்பு","codex.gallery.dropdowns.panel.apply":"பிரயோகி","codex.gallery.dropdowns.panel.body":"வேறுபாடுகளை மதிப்பாய்வு செய்து உங்கள் திட்டத்தில் பயன்படுத்தவும்.","codex.gallery.dropdowns.panel.preview":"முன்னோட்டம்","codex.gallery.dropdowns.panel.title":"மாற்றங்களைப் பிரயோகி","codex.gallery.dropdowns.panel.trigger":"பேனலைத் திற","codex.gallery.dropdowns.search":"தேடத்தக்க கீழ்தோன்றும் பட்டியல்","codex.gallery.dropdowns.search.first":"ஆல்பா சேனல்","codex.gallery.dropdowns.search.second":"பீட்டா கிளை","codex.gallery.dropdowns.search.third":"கேன்டிடேட்டை வெளியிடு","codex.gallery.dropdowns.search.trigger":"உருப்படிகளை வடிகட்டவும்","codex.gallery.dropdowns.submenu":"துணைமெனுவுடன் கூடிய கீழ்தோன்றும் பட்டியல்","codex.gallery.dropdowns.submenu.optionA":"திட்டம் ஆல்பா","codex.gallery.dropdowns.submenu.optionB":"திட்டம் பீட்டா","codex.gallery.dropdowns.submenu.optionC":"திட்டம் காமா","codex.gallery.dropdowns.submenu.primary":"உரிமையாளரை ஒதுக்கு","codex.gallery.dropdowns.submenu.secondary":"இதற்கு நகர்த்து","codex.gallery.dropdowns.submenu.tertiary":"ஆவணக் காப்பிடவும்","codex.gallery.dropdowns.submenu.trigger":"நடவடிக்கையைத் தேர்வுசெய்க","codex.gallery.dropdowns.title":"கீழ்தோன்றும் பட்டியல்கள்","codex.gallery.inbox.automations.close":"மூடுக","codex.gallery.inbox.automations.popover.cardTitle":"ஆட்டோமேஷன்களை நிர்வகி","codex.gallery.inbox.automations.popover.dialogTitle":"ஆட்டோமேஷன்களை நிர்வகி","codex.header.settingsTooltip":"அமைப்புகள்","codex.hunk.patch.error":"ஸ்டேஜ் செய்வது தோல்வியடைந்தது","codex.hunk.patch.missing":"இந்த ஹங்கிற்கு பேட்ச்சை உருவாக்க முடியவில்லை.","codex.hunk.patch.partialSuccess":"பகுதியளவு வெற்றி","codex.hunk.patch.revertError":"அன்ஸ்டேஜ் செய்வது தோல்வியடைந்தது","codex.hunk.patch.revertSuccess":"வெற்றிகரமாக அன்ஸ்டேஜ் செய்யப்பட்டது","codex.hunk.patch.success":"வெற்றிகரமாக ஸ்டேஜ் செய்யப்பட்டது","codex.legal.autonomy.details":"மேலும் விவரங்களுக்கு, {link}-ஐப் பார்க்கவும்","codex.legal.autonomy.details.link":"Codex ஆவணங்கள்","codex.legal.autonomy.title":"எவ்வளவு சுயாட்சியை வழங்க விரும்புகிறீர்கள் என்பதை முடிவு செய்யவும்","codex.legal.backButton":"பின் செல்க","codex.legal.cloud.taskOne.meta":"openai/agi · அக்டோ 12","codex.legal.cloud.taskOne.title":"ஒரு புதிய வடிவமைப்பாளருக்கு களஞ்சியத்தை விளக்கவும்","codex.legal.cloud.taskThree.meta":"openai/codex · அக்டோ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"டார்க்மோட் தீம் ஒன்றை உருவாக்கவும்","codex.legal.cloud.taskTwo.meta":"openai/agi · அக்டோ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ஆன்போர்டிங் பிழையைச் சரிசெய்யவும்","codex.legal.continue.apikey":"தொடர்க","codex.legal.continueButton":"அடுத்தது","codex.legal.copilot.details":"அனைத்து மாடல் அழைப்புகள், பில்லிங் மற்றும் கட்டண வரம்புகளுக்கும் உங்கள் Copilot திட்டத்தைப் பயன்படுத்துகிறது. Codex நீட்டிப்பு பயன்பாடு {oaiTos} மற்றும் {gitHubTos} என இரண்டிற்கும் உட்பட்டது.","codex.legal.copilot.gitHubTosLink":"GitHub சேவை விதிமுறைகள்","codex.legal.copilot.oaiTosLink":"OpenAI Codex சேவை விதிமுறைகள்","codex.legal.copilot.title":"GitHub Copilot -ஆல் இயக்கப்படுகிறது","codex.legal.mistakes.review":"அது எழுதும் கோடிங்கையும், அது இயக்கும் கட்டளைகளையும் மீளாய்வு செய்யவும்","codex.legal.mistakes.title":"Codex தவறுகளைச் செய்யலாம்","codex.legal.powered.details":"உங்கள் திட்டத்தின் விகித வரம்புகளையும் {link}-ஐயும் பயன்படுத்துகிறது","codex.legal.powered.details.link":"பயிற்சித் தரவு முன்னுரிமைகள்","codex.legal.powered.title":"உங்கள் ChatGPT கணக்கால் இயக்கப்படுகிறது","codex.legal.step.cloud.subtitle":"பின்னணியில் இயங்க Codexக்கு பணிகளை அனுப்புங்கள், இதன் மூலம் நீங்கள் கவனம் செலுத்தி வேகமாக நகர முடியும்.","codex.legal.step.cloud.title":"கிளவுட்டில் Codex-இடம் ஒப்படைப்பு","codex.legal.step.intro.subtitle":"Codex உங்கள் ரெப்போவில் நேரடியாக வழிசெலுத்துகிறது, திருத்துகிறது, கட்டளைகளை இயக்குகிறது மற்றும் சோதனைகளை செயல்படுத்துகிறது. உங்கள் ChatGPT கணக்கால் இயக்கப்படுகிறது.","codex.legal.step.intro.title":"உங்கள் IDEயில் Codex","codex.legal.step.todo.subtitle":"ஒரு TODO கருத்தை எழுதி, அதை ஒரே கிளிக்கில் Codex பணியாக மாற்றலாம்.","codex.legal.step.todo.title":"TODOகளை Codex பணிகளாக மாற்றவும்","codex.legal.todo.heading":"// TODO: திட்டத்தைச் செயல்படுத்து","codex.localConversation.closeImagePreview":"பட முன்னோட்டத்தை மூடும்","codex.localConversation.userImageAttachment":"பயனர் இணைப்பு","codex.localTaskRow.archiveTask":"காப்பிடத் தொடர்","codex.localTaskRow.awaitingApproval":"ஒப்புதலுக்காகக் காத்திருக்கிறது","codex.localTaskRow.awaitingResponse":"பதிலுக்காகக் காத்திருக்கிறது","codex.localTaskRow.confirmArchiveTask":"உறுதிப்படுத்துக","codex.loggedOut.apiKeyPrompt.cancel":"ரத்துசெய்க","codex.loggedOut.apiKeyPrompt.confirm":"சரி","codex.loggedOut.apiKeyPrompt.getKey":"API விசையைப் பெறுக","codex.loggedOut.apiKeyPrompt.inputLabel":"உங்கள் OpenAI API விசையை உள்ளிடவும்","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API விசையுடனான கிளவுட் பணிகள் முடக்கப்பட்டுள்ளன","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Copilot மற்றும் API விசையுடனான கிளவுட் பணிகள் முடக்கப்பட்டுள்ளன","codex.loggedOut.signIn":"ChatGPT-உடன் உள்நுழைக","codex.loggedOut.signIn.cancel":"உள்நுழைவை ரத்துசெய்க","codex.loggedOut.signInWithCopilot":"GitHub Copilot -உடன் உள்நுழையவும்","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API விசையைப் பயன்படுத்துக","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} கருவி","codex.mcpTool.collapsedLabel.verb.called":"அழைக்கப்பட்டது","codex.mcpTool.collapsedLabel.verb.calling":"அழைக்கிறது","codex.mcpTool.embeddedResource.contentLabel":"உள்ளடக்கம்","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME வகை","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"கருவி எந்த உள்ளடக்கத்தையும் வழங்கவில்லை","codex.mcpTool.rawPayloadHeading":"மூல {server}.{tool} கருவி அழைப்பு பேலோடு","codex.menu.recent":"சமீபத்தையது","codex.menu.seeAllHistory":"எல்லா வரலாற்றையும் காண்க","codex.modelCapacityBanner.headline.noReset":"{modelName} தற்போது முழுமையாக நிரப்பப்பட்டுள்ளது. பின்னர் முயற்சிக்கவும் அல்லது வேறு மாடலுடன் புதிய உரையாடலைத் தொடங்கவும்.","codex.modelCapacityBanner.headline.withReset":"{modelName} தற்போது முழுமையாக நிரப்பப்பட்டுள்ளது. {resetDate}க்குப் பிறகு மீண்டும் முயற்சிக்கவும் அல்லது வேறு மாடலுடன் புதிய உரையாடலைத் தொடங்கவும்.","codex.modelCapacityBanner.title":"தேர்ந்தெடுத்த மாடல், திறனை எட்டியுள்ளது","codex.patch.change.contentsDeleted":"உள்ளடக்கங்கள் நீக்கப்பட்டன","codex.patch.change.created":"உருவாக்கப்பட்டது","codex.patch.change.created-file":"உருவாக்கிய கோப்பு","codex.patch.change.creating":"உருவாக்குகிறது","codex.patch.change.deleted":"நீக்கப்பட்டது","codex.patch.change.deleted-file":"நீக்கிய கோப்பு","codex.patch.change.deleting":"நீக்குகிறது","codex.patch.change.edited":"திருத்தப்பட்டது ","codex.patch.change.edited-file":"திருத்தப்பட்ட கோப்பு","codex.patch.change.editing":"திருத்துகிறது","codex.patch.change.noChanges":"மாற்றங்கள் இல்லை","codex.patch.change.rejected-add":"நிராகரிக்கப்பட்டது","codex.patch.change.rejected-delete":"நிராகரிக்கப்பட்டது","codex.patch.change.rejected-edit":"நிராகரிக்கப்பட்டது","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{total}-இல் {completed} பணிகள் முடிந்தன","codex.plan.todoListCreated":"{total} பணிகளுடன் செய்ய வேண்டியவற்றின் பட்டியல் உருவாக்கப்பட்டது","codex.profileDropdown.apiKeyAuth":"API விசையுடன் உள்நுழைந்துள்ளீர்கள்","codex.profileDropdown.codexSettings":"Codex அமைப்புகள்","codex.profileDropdown.copilotAuth":"Copilot மூலம் உள்நுழைந்துள்ளீர்கள்","codex.profileDropdown.defaultAccountTitle":"இயல்புநிலை கணக்கு","codex.profileDropdown.enterBehavior":"நீண்ட ப்ராம்ப்ட்களை அனுப்ப {modifierSymbol} + enter","codex.profileDropdown.enterBehaviorError":"அமைப்பைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.getPlus":"அதிக வரம்புகளுக்கு மேம்படுத்தவும்","codex.profileDropdown.keyboardShortcuts":"விசைப்பலகை குறுக்குவழிகள்","codex.profileDropdown.language":"மொழி","codex.profileDropdown.languageDefault":"தானாக கண்டறிதல்","codex.profileDropdown.languageSearchPlaceholder":"மொழிகளைத் தேடுக","codex.profileDropdown.languageUpdateError":"மொழியைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.logOut":"வெளியேறு","codex.profileDropdown.mcp":"MCP அமைப்புகள்","codex.profileDropdown.openConfigToml":"config.toml -ஐத் திறக்கவும்","codex.profileDropdown.openConfigToml.wsl":"WSL சூழலில் config.toml -ஐத் திறக்கவும்","codex.profileDropdown.openExtensionSettings":"அமைப்புகளைத் திறக்கவும்","codex.profileDropdown.openMcpSettings":"MCP அமைப்புகளைத் திற","codex.profileDropdown.openOnStartup":"தொடக்கத்தில் திறக்கவும்","codex.profileDropdown.openOnStartupError":"அமைப்பைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.openSkillsSettings":"ஸ்கில்கள் அமைப்புகளைத் திற","codex.profileDropdown.personalAccountTitle":"தனிப்பட்ட கணக்கு","codex.profileDropdown.queueFollowUps":"பின்தொடரல்களை வரிசையில் சேர்","codex.profileDropdown.queueFollowUpsError":"அமைப்பைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.readDocs":"ஆவணங்களைப் படிக்கவும்","codex.profileDropdown.readSkillsDocs":"ஆவணங்களைப் படிக்கவும்","codex.profileDropdown.runInWsl":"WSL -இல் இயக்கவும்","codex.profileDropdown.runInWslError":"அமைப்பைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.runInWslTooltip":"WSL-க்குள் Codex-ஐ இயக்குகிறது. மேம்படுத்தப்பட்ட சாண்ட்பாக்ஸ் பாதுகாப்பு மற்றும் சிறந்த செயல்திறனுக்குப் பரிந்துரைக்கப்படுகிறது.","codex.profileDropdown.settings":"IDE அமைப்புகள்","codex.profileDropdown.settingsPage":"அமைப்புகள்","codex.profileDropdown.signInWithOpenAI":"ChatGPT-உடன் உள்நுழைக","codex.profileDropdown.skills":"ஸ்கில்கள் அமைப்புகள்","codex.profileDropdown.switchToCopilotAccount":"Copilot கணக்கைப் பயன்படுத்தவும்","codex.profileDropdown.switchToOpenAIAccount":"OpenAI கணக்கைப் பயன்படுத்தவும்","codex.profileDropdown.todoCodelens":"TODO கருத்துகளைச் சரிசெய்க","codex.profileDropdown.todoCodelensError":"அமைப்பைப் புதுப்பிக்க முடியவில்லை","codex.profileDropdown.windowsDocumentation":"Windows ஆவணப்படுத்தல்","codex.profileFooter.signedInFallback":"அமைப்புகள்","codex.profileFooter.upgrade":"மேம்படுத்தவும்","codex.recentTasksMenu.clearSearch":"தேடலை அழிக்கவும்","codex.recentTasksMenu.cloud":"கிளவுட் பணிகள்","codex.recentTasksMenu.count":"{count, plural, =0 {எந்தப் பணிகளும் நடைபெறவில்லை} one {# பணி நடந்து கொண்டிருக்கிறது} other {# பணிகள் நடந்து கொண்டிருக்கின்றன}}","codex.recentTasksMenu.empty":"இதுவரை எந்தத் தொடர்களும் இல்லை","codex.recentTasksMenu.errorCloud":"பணிகளை ஏற்ற முடியவில்லை.","codex.recentTasksMenu.errorCloud.inline":"கிளவுட் பணிகளை ஏற்ற முடியவில்லை.","codex.recentTasksMenu.filterAll":"அனைத்தும்","codex.recentTasksMenu.filterCloudTasks":"கிளவுட் பணிகளை வடிகட்டவும்","codex.recentTasksMenu.filterTooltip":"சூழலின் அடிப்படையில் பணிகளை வடிகட்டலாம்","codex.recentTasksMenu.local":"அகப் பணிகள்","codex.recentTasksMenu.recent":"எல்லா பணிகளும்","codex.recentTasksMenu.search":"சமீபத்திய பணிகளைத் தேடவும்","codex.recentTasksMenu.searchEmpty":"முடிவு இல்லை","codex.recentTasksMenu.tooltip":"பணி வரலாறு","codex.recentTasksMenu.trigger":"சமீபத்திய பணிகள். {count, plural, one {# செயலில் உள்ளது} other {# செயலில் உள்ளது}}","codex.remoteConversation.applyDiff.applyCta":"மாற்றங்களைப் பிரயோகி","codex.remoteConversation.applyDiff.dropdownTitle":"லோக்கல் பிராஞ்சில் மாற்றங்களைப் பிரயோகிக்கவும்","codex.remoteConversation.applyDiff.revertCta":"மாற்றங்களை மாற்றியமை","codex.remoteConversation.closeImagePreview":"பட முன்னோட்டத்தை மூடும்","codex.remoteConversation.codexCloudTask":"நீங்கள் ஒரு <u>Codex கிளவுட்</u> பணியைப் பார்க்கிறீர்கள்","codex.remoteConversation.errorWithMessage":"பிழை: {message}","codex.remoteConversation.loadingImage":"படத்தை ஏற்றுகிறது","codex.remoteConversation.openInWeb":"இணையத்தில் திறக்கவும்","codex.remoteConversation.streaming":"தொடங்குதல்","codex.remoteConversation.turnFailed":"இந்தப் பணியின்போது ஒரு பிழை ஏற்பட்டது","codex.remoteConversation.turnTab.loading":"முயற்சி {number}","codex.remoteConversation.turnTab.title":"முயற்சி {number}","codex.remoteConversation.userImageAttachment":"பயனர் இணைப்பு","codex.remoteConversation.viewPreviousTurns":"இணையத்தில் திறக்கவும்","codex.remoteConversation.viewPreviousTurns.buttonText":"திறக்கவும்","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"இணையத்தில் திறக்கவும்","codex.review.copyGitApplyCommand":"git apply கட்டளையை நகலெடு","codex.review.copyGitApplyCommand.toast":"கிளிப்போர்டுக்கு git apply கட்டளை நகலெடுக்கப்பட்டது","codex.review.diffTooLarge.description":"இந்த வேறுபாடு மீளாய்வில் காட்ட முடியாத அளவுக்குப் பெரியது.","codex.review.diffTooLarge.title":"வேறுபாடு, காட்ட முடியாத அளவுக்குப் பெரியதாக உள்ளது","codex.review.expandOrCollapseDiffButton.collapse":"diff-கள் அனைத்தையும் சுருக்குக","codex.review.expandOrCollapseDiffButton.expand":"diff-கள் அனைத்தையும் விரிவாக்குக","codex.review.expandOrCollapseDiffMenu.collapse":"diff-கள் அனைத்தையும் சுருக்குக","codex.review.expandOrCollapseDiffMenu.expand":"diff-கள் அனைத்தையும் விரிவாக்குக","codex.review.fileSearch.clear":"கோப்பு வடிகட்டியை அழி","codex.review.fileSearch.empty":"தற்போதைய வடிகட்டியுடன் எந்த கோப்புகளும் பொருந்தவில்லை.","codex.review.fileSearch.label":"கோப்புகளை வடிகட்டவும்","codex.review.fileSearch.placeholder":"கோப்புகளை வடிகட்டவும்…","codex.review.filesChanged":"{num, plural, =0 {No files changed} one {# file changed} other {# files changed}}","codex.review.find.loadMore":"மேலும் பொருத்தங்களை ஏற்று","codex.review.fullReview.hideFileTree":"கோப்பு அமைப்பை மறைக்குக","codex.review.fullReview.showFileTree":"கோப்பு அமைப்பைக் காட்டுக","codex.review.header.moreOptions":"விருப்பத்தேர்வுகளை மீளாய்வு செய்யும்","codex.review.largeDiff.banner":"பெரிய வேறுபாடு கண்டறியப்பட்டது - ஒரு நேரத்தில் ஒரு கோப்பைக் காட்டுகிறது.","codex.review.loadFullFiles.disable":"முழு கோப்புகளையும் ஏற்ற வேண்டாம்","codex.review.loadFullFiles.enable":"முழு கோப்புகளையும் ஏற்று","codex.review.noDiff":"கோப்பு மாற்றங்கள் இங்கே தோன்றும்","codex.review.noDiff.gitInit.createRepository":"Git களஞ்சியத்தை உருவாக்கு","codex.review.noDiff.gitInit.creating":"உருவாக்குகிறது…","codex.review.noDiff.gitInit.error":"Git init தோல்வியுற்றது: {message}","codex.review.noDiff.gitInit.success":"Git களஞ்சியம் உருவாக்கப்பட்டது","codex.review.noDiff.gitRepoRequired.description":"இந்தத் திட்டத்தில் மாற்றங்களைக் கண்காணித்து செயல்தவிர்க்கலாம்","codex.review.noDiff.gitRepoRequired.title":"ஒரு Git களஞ்சியத்தை உருவாக்கவும்","codex.review.noDiff.orNoLongerAvailable":"அல்லது சமீபத்திய diffs இனி கிடைக்காது","codex.review.noDiff.reverted":"கடைசி திருப்பம் திருப்பப்பட்டது","codex.review.noDiff.revertedOrCommitted":"கடைசி திருப்பம் திருப்பப்பட்டது அல்லது கமிட் செய்யப்பட்டுள்ளது","codex.review.refreshGitQueries":"புதுப்பி","codex.review.revert.file.error":"திருப்ப முடியவில்லை {path}","codex.review.revert.file.partialSuccess":"பகுதியளவு திருப்பப்பட்டது {path}","codex.review.revert.file.success":"திருப்பப்பட்டது {path}","codex.review.revert.hunk.error":"{path}-இல் ஹங்க் {hunkNumber}-ஐ திருப்ப முடியவில்லை","codex.review.revert.hunk.partialSuccess":"{path}-இல் {hunkNumber} பகுதியளவு திருப்பிய ஹங்க்","codex.review.revert.hunk.success":"{path}-இல் {hunkNumber} திருப்பிய ஹங்க்","codex.review.revert.section.error":"பிரிவை திருப்ப முடியவில்லை","codex.review.revert.section.partialSuccess":"பிரிவு பகுதியளவு திருப்பப்பட்டது","codex.review.revert.section.success":"பிரிவு திருப்பப்பட்டது","codex.review.revertDialog.cancel":"ரத்துசெய்","codex.review.revertDialog.confirm":"உறுதிப்படுத்துக","codex.review.revertDialog.message":"இந்தச் செயல் இந்த மாற்றங்கள் அனைத்தையும் நீக்குகிறது.","codex.review.revertDialog.skip":"மீண்டும் கேட்க வேண்டாம்","codex.review.revertDialog.title":"மாற்றங்களை மாற்றியமைக்கவா?","codex.review.richPreview.disable":"ரிச் முன்னோட்டத்தை முடக்கும்","codex.review.richPreview.enable":"ரிச் முன்னோட்டத்தை இயக்கும்","codex.review.source.cloud":"கிளவுட் மாற்றங்கள்","codex.review.source.local.all":"அனைத்து கிளை மாற்றங்களும்","codex.review.source.local.lastTurn":"கடைசி திருப்ப மாற்றங்கள்","codex.review.source.local.uncommitted":"கமிட் செய்யப்படாத மாற்றங்கள்","codex.review.source.worktree":"கமிட் செய்யாத ஒர்க்ட்ரீ மாற்றங்கள்","codex.review.stageFilter.empty.staged.description":"திருத்தங்களை ஸ்டேஜ் செய்ய, அவற்றை ஏற்கவும்","codex.review.stageFilter.empty.staged.title":"ஸ்டேஜ் செய்த மாற்றங்கள் இல்லை","codex.review.stageFilter.empty.unstaged.description":"கோடிங் மாற்றங்கள் இங்கே தோன்றும்","codex.review.stageFilter.empty.unstaged.title":"அன்ஸ்டேஜ் செய்த மாற்றங்கள் இல்லை","codex.review.stageFilter.staged":"ஸ்டேஜ் செய்தது","codex.review.stageFilter.staged.count":"ஸ்டேஜ் செய்தது · {count}","codex.review.stageFilter.unstaged":"அன்ஸ்டேஜ் செய்தது","codex.review.stageFilter.unstaged.count":"அன்ஸ்டேஜ் செய்தது · {count}","codex.review.switchToSplit":"பிரிப்பு வேறுபாட்டுக்கு மாற்று","codex.review.switchToUnified":"ஒருங்கிணைந்த diff-க்கு மாறவும்","codex.review.toggleDiffView":"diff காட்சியை நிலைமாற்று","codex.review.wordDiffs.disable":"வார்த்தை வேறுபாடுகளை முடக்கு","codex.review.wordDiffs.enable":"வார்த்தை வேறுபாடுகளை இயக்கு","codex.review.wrap.disable":"வார்த்தை மடிப்பை முடக்கு","codex.review.wrap.enable":"வார்த்தை மடிப்பை இயக்கு","codex.section.patch.missing":"இந்தப் பிரிவிற்கு பேட்ச்சை உருவாக்க முடியவில்லை.","codex.shell.collapse":"ஷெல்லைச் சுருக்கு","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"ஷெல் உள்ளடக்கங்கள் நகலெடுக்கப்பட்டன","codex.shell.copy.copyTooltip":"ஷெல் உள்ளடக்கங்களை நகலெடுக்கவும்","codex.shell.copyCommand":"கட்டளையை நகலெடுக்கலாம்","codex.shell.copyOutput":"வெளியீட்டை நகலெடுக்கலாம்","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"பேஷ்","codex.shell.expand":"ஷெல்லை விரிவாக்கு","codex.shell.name":"ஷெல்","codex.shell.noOutput":"வெளியீடு இல்லை","codex.signInFailed.message":"உள்நுழைதல் தோல்வியடைந்தது: {rawMessage}","codex.stories.toast.show":"டோஸ்டைக் காட்டவும்","codex.stories.tooltip.basic":"இது ஒரு உதவிக்குறிப்பு","codex.stories.tooltip.hoverMe":"எனக்கு மேலே செல்க","codex.stories.tooltip.largerOffset":"இந்த உதவிக்குறிப்பில் பெரிய ஆஃப்செட் உள்ளது","codex.stories.tooltip.offsetButton":"பெரிய ஆஃப்செட்","codex.stories.tooltip.shortcutButton":"குறுக்குவழியுடன்","codex.stories.tooltip.withShortcut":"டெர்மினலை நிலைமாற்றுக","codex.taskRow.title":"புதிய தொடர்","codex.taskRowLayout.confirm":"உறுதிப்படுத்துக","codex.threadFindBar.chatFilter":"அரட்டையைத் தேடு","codex.threadFindBar.close":"கண்டறிதலை மூடு","codex.threadFindBar.diffFilter":"வேறுபாடுகளைத் தேடு","codex.threadFindBar.label":"தொடரில் கண்டறியும்","codex.threadFindBar.nextResult":"அடுத்த முடிவு","codex.threadFindBar.noResults":"0 முடிவு","codex.threadFindBar.placeholder":"தொடரைத் தேடவும்…","codex.threadFindBar.placeholder.extension":"தொடரைத் தேடவும்…","codex.threadFindBar.placeholder.review":"வேறுபாடுகளைத் தேடவும்…","codex.threadFindBar.placeholder.review.extension":"வேறுபாடுகளைத் தேடவும்…","codex.threadFindBar.previousResult":"முந்தைய முடிவு","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# file changed} other {# files changed}}","codex.unifiedDiff.inlineLargeFile":"இன்லைனை ரெண்டர் செய்ய முடியாதளவு மிகப் பெரியது","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"செயல்தவிர்ககவும்","codex.unifiedDiff.revertPatchError":"மாற்றங்களை திருப்பியமைக்க முடியவில்லை","codex.unifiedDiff.revertPatchSuccess":"மாற்றங்கள் திருப்பியமைக்கப்பட்டன","codex.unifiedDiff.reviewChangesSuffix":"மாற்றங்கள்","codex.unifiedDiff.reviewShort":"மீளாய்வு செய்க","codex.unifiedDiff.viewDiffTooltip":"மீளாய்வு செய்க","codex.upsellBanner.business.headline":"இப்போது கூடுதல் அணுகலைப் பெற, உங்கள் நிர்வாகிக்கு ஒரு கோரிக்கையை அனுப்பவும் அல்லது {resetDate} வரை காத்திருக்கவும்.","codex.upsellBanner.cbp.headline":"இப்போது கூடுதல் அணுகலைப் பெற, உங்கள் நிர்வாகிக்கு ஒரு கோரிக்கையை அனுப்பவும்.","codex.upsellBanner.cta.addCredits":"கிரெடிட்களைச் சேர்த்திடுக","codex.upsellBanner.cta.upgradeAccount":"மேம்படுத்தவும்","codex.upsellBanner.cta.viewUsage":"பயன்பாட்டைக் காண்க","codex.upsellBanner.free.trialHeadline":"உங்கள் கட்டண வரம்பு {resetDate}-இல் மீட்டமைக்கப்படும். Codex-ஐத் தொடர்ந்து பயன்படுத்துவதற்கும் GPT-5.3-Codex அணுகுவதற்கும், இன்றே உங்கள் இலவச Plus-ஐத் தொடங்குங்கள்.","codex.upsellBanner.freeOrGo.headline":"உங்கள் கட்டண வரம்பு {resetDate} அன்று மீட்டமைக்கப்படும். Codex-ஐத் தொடர்ந்து பயன்படுத்த, இன்றே Plusக்கு மேம்படுத்தவும்.","codex.upsellBanner.general.headline":"உங்கள் கட்டண வரம்பு {resetDate} அன்று மீட்டமைக்கப்படும்.","codex.upsellBanner.general.title":"உங்களின் Codex செய்தி வரம்பு தீர்ந்துவிட்டது","codex.upsellBanner.go.trialHeadline":"உங்கள் கட்டண வரம்பு {resetDate}-இல் மீட்டமைக்கப்படும். தொடர்ந்து Codex பயன்படுத்த, இன்றே உங்கள் Plus-இன் இலவச சோதனையைத் தொடங்குங்கள்.","codex.upsellBanner.plus.headline":"உங்கள் கட்டண வரம்பு {resetDate} அன்று மீட்டமைக்கப்படும். Codex-ஐத் தொடர்ந்து பயன்படுத்த, இன்றே கிரெடிட்களைச் சேர்க்கவும் அல்லது Proக்கு மேம்படுத்தவும்.","codex.upsellBanner.pro.headline":"உங்கள் கட்டண வரம்பு {resetDate} அன்று மீட்டமைக்கப்படும். Codex-ஐ இப்போது தொடர்ந்து பயன்படுத்த கிரெடிட்களைச் சேர்க்கவும்.","codex.userMessage.autoResolveSync":"முரண்பாடுகளைத் தானாகத் தீர்த்தல்","codex.userMessage.commentCount":"{count, plural, one {# கருத்து} other {# கருத்துகள்}}","codex.userMessage.copiedAriaLabel":"நகலெடுக்கப்பட்டது","codex.userMessage.copiedTooltip":"நகலெடுக்கப்பட்டது","codex.userMessage.copyAriaLabel":"செய்தியை நகலெடுக்கவும்","codex.userMessage.copyTooltip":"நகலெடுக்கவும்","codex.userMessage.implementPlan":"திட்டத்தை அமல்படுத்துதல்","codex.userMessage.noContent":"(உள்ளடக்கம் இல்லை)","codex.userMessage.priorConversation":"முந்தைய உரையாடல்களில் குறிப்பெடுக்கும்","codex.userMessage.reviewMode":"மீளாய்வு பயன்முறை","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query}க்கு","codex.webSearch.summary.verb.completed":"இணையத்தில் தேடியது","codex.webSearch.summary.verb.inProgress":"இணையத்தில் தேடுகிறது","codex.windowsInstallWslBanner.dismiss":"நிராகரிக்கவும்","codex.windowsInstallWslBanner.installWslCta":"சாண்ட்பாக்ஸை இயக்குக","codex.windowsInstallWslBanner.learnMore":"மேலும் அறிக","codex.windowsSandboxBanner.content":"கோப்பு முறைமை மற்றும் நெட்வொர்க் அணுகலைக் கட்டுப்படுத்த, ஏஜன்ட் பயன்முறை Windows-இல் ஒரு பரீட்சார்த்த சாண்ட்பாக்ஸைப் பயன்படுத்துகிறது. {sandboxLink}","codex.windowsSandboxBanner.title":"ஏஜன்ட் பயன்முறைக்கு சாண்ட்பாக்ஸை இயக்கவும்","codex.windowsSubDropdown.windowsSandbox":"Windows சாண்ட்பாக்ஸ்","codex.windowsSubDropdown.windowsSettings":"Windows அமைப்புகள்","codexUpgradeModal.body":"எங்கள் சமீபத்திய முன்னோடி ஏஜன்ட் கோடிங் மாடல் - பொதுவான தொழில்நுட்ப வேலைகளில் புத்திசாலி, வேகமான மற்றும் அதிக திறன் கொண்டது. {link}","codexUpgradeModal.close":"மூடுக","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"மேலும் அறிக","codexUpgradeModal.title":"அறிமுகப்படுத்துகிறோம் GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"இப்போதே GPT-5.3-Codex முயற்சித்திடுங்கள்","codexUpgradeModal.useExistingModel":"தற்போதைய மாடலுடன் தொடரவும்","commentAttachments.numComments":"{count, plural, one {# கருத்து} other {# கருத்துகள்}}","commentAttachments.removeAriaLabel":"கருத்துகள் இணைப்பை அகற்றும்","common.close":"மூடுக","composer.addContext.openFilePickerError":"கோப்புத் தேர்வியைத் திறக்க முடியவில்லை","composer.addContextDropdown.ariaLabel":"கோப்புகளையும் மேலும் பலவற்றையும் சேர்","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"கோப்புகளையும் மேலும் பலவற்றையும் சேர்","composer.addPhotosAndFiles":"புகைப்படங்கள் மற்றும் கோப்புகளைச் சேர்","composer.atMentionList.emptyQuery":"கோப்புகளைத் தேட டைப் செய்யவும்","composer.atMentionList.loading":"தேடுகிறது...","composer.atMentionList.noResults":"முடிவுகள் இல்லை","composer.attemptsSelector.option":"{count, plural, one {# version} other {# versions}}","composer.attemptsSelector.tooltip":"Codex செய்ய வேண்டிய இணையான முயற்சிகளின் எண்ணிக்கை","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"நிறுத்து","composer.cloudFollowUp.cloud":"கிளவுட்","composer.cloudFollowUp.local":"அகம்","composer.cloudFollowUp.whereRun":"இந்தப் பின்தொடர்தல் எங்கு இயங்க வேண்டும்?","composer.cloudTaskCreationError":"கிளவுட் பணியை உருவாக்குவதில் பிழை","composer.cloudTaskError":"பணியை உருவாக்குவதில் பிழை","composer.contextWindow.autoCompactionTooltipLine1":"Codex தானாகவே அதன் சூழலைச் சுருக்குகிறது","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"சூழல் சாளரம்:","composer.contextWindowUsageStatusFull":"{usage}% நிரம்பியது","composer.contextWindowUsageStatusLeft":"{usage}% பயன்படுத்தப்பட்டது ({remaining}% மீதமுள்ளது)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k டோக்கன்கள் பயன்படுத்தப்பட்டன","composer.customCliTooltip":"தனிப்பயன் CLI இயங்கக்கூடியதைப் பயன்படுத்துதல்","composer.dictation.aria":"சொல்வதெழுது","composer.dictation.cancel.aria":"சொல்வதெழுதலை நிறுத்து","composer.dictation.cancel.tooltip":"சொல்வதெழுதலை நிறுத்து","composer.dictation.startError":"சொல்வதெழுதலைத் தொடங்க முடியவில்லை","composer.dictation.submit.aria":"டிரான்ஸ்கிரைப் செய்து அனுப்பும்","composer.dictation.submit.tooltip":"டிரான்ஸ்கிரைப் செய்து அனுப்பலாம்","composer.dictation.tooltip":"சொல்வதெழுத அழுத்திப் பிடிக்கவும்","composer.dictation.transcribeError":"ஆடியோவை டிரான்ஸ்கிரைப் செய்ய முடியவில்லை","composer.dictation.unsupported":"இந்தச் சாதனத்தில் சொல்வதெழுதும் வசதி இல்லை","composer.dropOverlay.holdShift":"{key}-ஐப் பிடித்துக் கொண்டு கீழே விடவும்","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"புதியதை உருவாக்கு","composer.environmentSelector.error":"சூழல்களை ஏற்றுவதில் பிழை","composer.environmentSelector.goBack":"கம்போசருக்குத் திரும்பும்","composer.environmentSelector.title":"சூழலைத் தேர்ந்தெடுக்கவும்","composer.environmentSelector.tooltip":"கிளவுட் சூழலைத் தேர்ந்தெடுங்கள்","composer.feedbackSlashCommand.title":"பின்னூட்டம்","composer.filePicker.selectFile":"கோப்பைத் தேர்ந்தெடுக்கவும்","composer.filePicker.selectFiles":"கோப்புகளைத் தேர்ந்தெடுக்கவும்","composer.followerTooltip":"தொடர, இந்த உரையாடல் தொடங்கிய சாளரத்திற்குத் திரும்பிச் செல்லவும்.","composer.footer.branchSwitch.checkoutError":"கிளையை மாற்ற முடியவில்லை: {message}","composer.footer.branchSwitch.createAndCheckout":"புதிய கிளையை உருவாக்கி செக் அவுட் செய்யவும்…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"புதிய கிளையை உருவாக்கி செக் அவுட் செய்ய, மாற்றங்களை கமிட் செய்யவும்","composer.footer.branchSwitch.createBranchError":"கிளையை உருவாக்க முடியவில்லை: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"கிளைப் பெயர்","composer.footer.branchSwitch.createDialog.branchExistsError":"கிளை ஏற்கெனவே உள்ளது.","composer.footer.branchSwitch.createDialog.close":"மூடுக","composer.footer.branchSwitch.createDialog.createAndCheckout":"உருவாக்கி செக் அவுட் செய்","composer.footer.branchSwitch.createDialog.placeholder":"புதிய-கிளை","composer.footer.branchSwitch.createDialog.title":"கிளையை உருவாக்கி செக் அவுட் செய்யவும்","composer.footer.branchSwitch.createDialog.trailingSlashError":"கிளை பெயர் “/” உடன் முடியக் கூடாது.","composer.footer.branchSwitch.tooltip":"கிளையை மாற்றுக","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName}-ஐ செக் அவுட் செய்ய {fileCount, plural, one {# file} other {# கோப்புகள்}}-இல் மாற்றங்களை கமிட் செய்யவும்.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"கமிட் செய்","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName}-ஐ செக் அவுட் செய்ய {fileCount, plural, one {# file} other {# கோப்புகள்}}-இல் மாற்றங்கள்.","composer.footer.branchSwitch.uncommittedDialog.cancel":"ரத்துசெய்","composer.footer.branchSwitch.uncommittedDialog.commit":"கிளையை கமிட் செய்து மாற்றவும்…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"பின்வரும் கோப்புகளில் நீங்கள் செய்யும் மாற்றங்கள் செக் அவுட்டால் மேலெழுதப்படும்:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"தொடர உங்கள் மாற்றங்களை கமிட் செய்திடுங்கள்","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"தேர்ந்தெடுக்கப்பட்ட கிளை","composer.footer.branchSwitch.uncommittedDialog.title":"கிளையை மாற்ற, மாற்றங்களை கமிட் செய்யவும்","composer.footer.branchSwitch.uncommittedSummaryPrefix":"கமிட் செய்யாதது: {fileCount, plural, one {# file} other {# கோப்புகள்}}","composer.forkSlashCommand.description":"இந்தத் தொடரை லோக்கல் அல்லது புதிய ஒர்க்ட்ரீயில் ஃபோர்க் செய்யலாம்","composer.forkSlashCommand.option.local.description":"புதிய லோக்கல் தொடரில் தொடரவும்","composer.forkSlashCommand.option.local.title":"லோக்கலுக்கு ஃபோர்க் செய்யவும்","composer.forkSlashCommand.option.worktree.description":"புதிய ஒர்க்ட்ரீயில் தொடரவும்","composer.forkSlashCommand.option.worktree.title":"புதிய ஒர்க்ட்ரீக்கு ஃபோர்க் செய்யவும்","composer.forkSlashCommand.title":"ஃபோர்க்","composer.ideContextIndicator":"IDE சூழல்","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDEயிலிருந்து சூழலைச் சேர்க்கவும்","composer.ideContextIndicator.tooltipToggle":"நிலைமாற்ற","composer.ideContextSlashCommand.disableDescription":"IDE சூழலை ஆஃப் செய்","composer.ideContextSlashCommand.enableDescription":"உங்கள் IDEயிலிருந்து தற்போதைய தேர்வு, திறந்த கோப்புகள் மற்றும் பிற சூழலைச் சேர்க்கவும்.","composer.ideContextSlashCommand.title":"IDE சூழல்","composer.imageInputsUnsupported":"இந்த மாடல், பட உள்ளீடுகளை ஆதரிக்கவில்லை. வேறு மாடலை முயற்சிக்கவும்.","composer.imageUploadFailed":"படத்தைப் பதிவேற்ற முடியவில்லை","composer.includeIdeContextDropdown":"IDE சூழலைச் சேர்","composer.includeIdeContextDropdown.ariaLabel":"IDE சூழலைச் சேர்","composer.localCwdDropdown.addWorkspaceRoot":"புதிய திட்டத்தைச் சேர்","composer.localCwdDropdown.noActiveRoot":"உங்கள் திட்டத்தைத் தேர்ந்தெடுக்கவும்","composer.localCwdDropdown.noResults":"கோப்புறைகள் எதுவும் கிடைக்கவில்லை","composer.localCwdDropdown.title":"உங்கள் திட்டத்தைத் தேர்ந்தெடுக்கவும்","composer.localTaskError":"உரையாடலைத் தொடங்குவதில் பிழை","composer.mcpSlashCommand.description":"MCP சேவையக நிலையைக் காட்டு","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"அங்கீகரிக்கப்படவில்லை","composer.mcpStatus.authOauth":"அங்கீகரிக்கப்பட்டது (OAuth)","composer.mcpStatus.authToken":"அங்கீகரிக்கப்பட்டது (API விசை)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"மூடுக","composer.mcpStatus.disabled":"முடக்கப்பட்டது","composer.mcpStatus.emptyLabel":"சேவையகங்கள்:","composer.mcpStatus.emptyValue":"எந்த MCP சேவையகங்களும் உள்ளமைக்கப்படவில்லை","composer.mcpStatus.enabled":"இயக்கப்பட்டது","composer.mcpStatus.errorLabel":"நிலை:","composer.mcpStatus.errorValue":"MCP நிலையை ஏற்ற முடியவில்லை","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ஏஜென்ட்","composer.mode.agentMode.auto.dropdownLabel":"ஏஜென்ட்","composer.mode.agentMode.auto.optionLabel":"ஏஜென்ட்","composer.mode.agentMode.changePermission":"பயன்முறையை மாற்றுக","composer.mode.agentMode.custom":"தனிப்பயன்","composer.mode.agentMode.custom.dropdownLabel":"தனிப்பயன்","composer.mode.agentMode.custom.option":"தனிப்பயன் (config.toml)","composer.mode.agentMode.custom.optionLabel":"தனிப்பயன் (config.toml)","composer.mode.agentMode.customInfo.cancel":"ரத்துசெய்க","composer.mode.agentMode.customInfo.cli":"நீங்கள் அந்த அமைப்புகளை CLI -இலிருந்து அல்லது கோப்பை நேரடியாகத் திருத்துவதன் மூலம் சரிசெய்யலாம்.","composer.mode.agentMode.customInfo.confirm":"தனிப்பயன் பயன்முறையைப் பயன்படுத்துக","composer.mode.agentMode.customInfo.description":"உங்களின் இதில் வரையறுக்கப்பட்ட ஒப்புதல் மற்றும் சாண்ட்பாக்ஸ் கொள்கைகளை தனிப்பயன் பயன்முறை பயன்படுத்துகிறது:<link>config.toml</link> கோப்பு.","composer.mode.agentMode.customInfo.docs":"ஒப்புதல் மற்றும் சாண்ட்பாக்ஸ் கொள்கைகளை உள்ளமைப்பது பற்றி இதில் மேலும் தெரிந்துகொள்ளவும்:<link>செயல்படுத்தல் சூழல் ஆவணங்கள்</link>.","composer.mode.agentMode.customInfo.refresh":"எந்த மாற்றங்களும் அடுத்த முறை ஏஜன்ட் இயங்கும்போது அமலுக்கு வரும்.","composer.mode.agentMode.customInfo.title":"தனிப்பயன் பயன்முறை எப்படிச் செயல்படுகிறது","composer.mode.agentMode.fullAccess":"ஏஜன்ட் (முழு அணுகல்)","composer.mode.agentMode.fullAccess.dropdownLabel":"ஏஜன்ட் (முழு அணுகல்)","composer.mode.agentMode.fullAccess.optionLabel":"ஏஜன்ட் (முழு அணுகல்)","composer.mode.agentMode.fullAccessConfirm.caution":"முழு அணுகலை இயக்கும்போது எச்சரிக்கையாக இருங்கள். இது தரவு இழப்பு, கசிவுகள் அல்லது எதிர்பாராத நடத்தைக்கான அபாயத்தை கணிசமாக அதிகரிக்கிறது.","composer.mode.agentMode.fullAccessConfirm.confirm":"ஆம், எப்படியும் தொடரவும்","composer.mode.agentMode.fullAccessConfirm.description":"Codex முழு அணுகலுடன் இயங்கும்போது, அது உங்கள் கணினியில் உள்ள எந்தக் கோப்பையும் திருத்த முடியும் மற்றும் உங்கள் ஒப்புதல் இல்லாமலேயே நெட்வொர்க்குடன் கட்டளைகளை இயக்க முடியும்.","composer.mode.agentMode.fullAccessConfirm.goBack":"ரத்துசெய்க","composer.mode.agentMode.fullAccessConfirm.title":"முழு அணுகலை இயக்கவா?","composer.mode.agentMode.readOnly":"அரட்டை","composer.mode.agentMode.readOnly.dropdownLabel":"அரட்டை","composer.mode.agentMode.readOnly.optionLabel":"அரட்டை","composer.mode.agentMode.tooltip":"பயன்முறையை மாற்றுக","composer.mode.agentMode.tooltip.auto":"கோப்புகளைப் படிக்கலாம் மற்றும் திருத்தலாம், கட்டளைகளை இயக்கலாம்.","composer.mode.agentMode.tooltip.custom":"config.toml -இல் வரையறுக்கப்பட்ட சமீபத்திய ஒப்புதல் மற்றும் சாண்ட்பாக்ஸ் கொள்கைகளைப் பயன்படுத்தவும்.","composer.mode.agentMode.tooltip.fullAccess":"Codex இந்தத் திட்டத்திற்கு வெளியே கோப்புகளைத் திருத்தலாம் மற்றும் நெட்வொர்க் அணுகலுடன் கட்டளைகளை இயக்கலாம். பயன்படுத்தும்போது எச்சரிக்கையாக இருங்கள்.","composer.mode.agentMode.tooltip.readOnly":"கோப்புகளைத் திருத்துவதற்கும் கட்டளைகளை இயக்குவதற்கும் ஒப்புதல் தேவை.","composer.mode.cloud.tooltip":"கிளவுட் சூழலில் வேலை செய்யுங்கள்","composer.mode.contactAdmin":"கூடுதல் அணுகலைப் பெற, உங்கள் நிர்வாகியைத் தொடர்பு கொள்ளவும்.","composer.mode.local":"அகம்","composer.mode.local.learnMore":"மேலும் அறிக","composer.mode.local.model.custom":"தனிப்பயன்","composer.mode.local.model.loadingModel":"மாடலை ஏற்றுதல்","composer.mode.local.model.selecrReasoningEffort":"காரணவிளக்கமளித்தலைத் தேர்ந்தெடுக்கவும்","composer.mode.local.model.selectModel":"மாதிரியைத் தேர்ந்தெடுக்கவும்","composer.mode.local.model.tooltip":"மாடலைத் தேர்வுசெய்க","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"உயர்வு","composer.mode.local.reasoning.low.label":"குறைவு","composer.mode.local.reasoning.medium.label":"நடுநிலை","composer.mode.local.reasoning.minimal.label":"குறைந்தபட்சம்","composer.mode.local.reasoning.none.label":"எதுவுமில்லை","composer.mode.local.reasoning.xhigh.label":"கூடுதல் உயர்வு","composer.mode.localRemoteWhereRun":"பணியை எங்கு இயக்க வேண்டும் என்பதைத் தேர்ந்தெடுங்கள்","composer.mode.newTask.header":"இதில் தொடர்க","composer.mode.rateLimit.day":"{days}நா","composer.mode.rateLimit.heading":"மீதமுள்ள கட்டண வரம்புகள்","composer.mode.rateLimit.hour":"{hours}ம","composer.mode.rateLimit.minute":"{minutes}நி","composer.mode.rateLimit.modelSectionLabel":"{modelName} வரம்பு:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {weekly limit} other {{weeks} week limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Weekly} other {{weeks} Week}}","composer.mode.remote.connectToCloud":"Codex வெப்பை இணைக்கவும்","composer.mode.remote.connectToCloudDisabledTooltip":"கிளவுடுக்கு பணிகளை அனுப்புவதை இயக்க Codex வெப் வழியாக ஒரு சூழலை அமைக்கவும்","composer.mode.remote.selectEnvironment":"சூழலைத் தேர்ந்தெடுக்கவும்","composer.mode.remote.sendToCloud":"கிளவுடுக்கு அனுப்பு","composer.mode.remote.setupViaWeb":"Codex வெப் வழியாக ஒரு சூழலை அமைக்கவும்","composer.mode.runInCloud":"கிளவுட்","composer.mode.runInCloudWithEnvironment":"கிளவுட் · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"கிளவுட் சூழலில் வேலை செய்யுங்கள்","composer.mode.segmentedToggle.local.tooltip":"உங்கள் லோக்கல் திட்டத்தில் வேலை செய்யுங்கள்","composer.mode.segmentedToggle.worktree.tooltip":"இணையான ஒர்க்ட்ரீயில் வேலை செய்யுங்கள்","composer.mode.upgradeToPlus":"Plus -க்கு மேம்படுத்தவும்","composer.mode.upgradeToPro":"Proக்கு மேம்படுத்துக","composer.mode.workLocally":"லோக்கல் திட்டம்","composer.mode.workLocally.currentBranchFallback":"உங்கள் பிராஞ்ச்","composer.mode.workLocally.tooltip":"{branchName}-இல் வேலை செய்யவும்","composer.mode.worktree":"புதிய பணிப்பிரிவு","composer.mode.worktree.submoduleWarning":"இந்தக் களஞ்சியத்தில் git சப்மாட்யூல்கள் உள்ளன. ஒர்க்ட்ரீ உருவாக்கம் தோல்வியடையக்கூடும்","composer.mode.worktree.tooltip":"இணையாக வேலை செய்ய உங்கள் லோக்கல் திட்டத்தின் நகலை உருவாக்கவும்","composer.mode.worktreeSegment":"பணிப்பிரிவு","composer.modelChangeDuringConversationWarning.toast":"உரையாடலின் நடுவில் மாடல்களை மாற்றுவது செயல்திறனைக் குறைக்கும்.","composer.newChat.heading.browser":"அடுத்து என்ன கோடிங் செய்ய வேண்டும்?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex, config.toml -இல் வரையறுக்கப்பட்ட அனுமதியைப் பயன்படுத்துகிறது.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"உங்கள் கம்ப்யூட்டரில் Codexக்கு முழு அணுகல் உள்ளது (அதிகரித்த அபாயம்)","composer.permissionsDropdown.custom.label":"தனிப்பயன் (config.toml)","composer.permissionsDropdown.custom.optionLabel":"தனிப்பயன் (config.toml)","composer.permissionsDropdown.default.label":"இயல்பு அனுமதிகள்","composer.permissionsDropdown.default.optionLabel":"இயல்பு அனுமதிகள்","composer.permissionsDropdown.default.tooltip":"Codex தானாகவே சாண்ட்பாக்ஸில் கட்டளைகளை இயக்குகிறது","composer.permissionsDropdown.disabled.requirements":"அனுமதிகள் requirements.toml -ஆல் பூட்டப்பட்டுள்ளன","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml ஆல் முழு அணுகல் முடக்கப்பட்டுள்ளது","composer.permissionsDropdown.fullAccess.label":"முழு அணுகல்","composer.permissionsDropdown.fullAccess.optionLabel":"முழு அணுகல்","composer.permissionsDropdown.trigger.tooltip":"அனுமதிகளை மாற்றலாம்","composer.personalitySlashCommand.description.friendly":"கனிவானது, ஒத்துழைப்புமிக்கது, உதவிகரமானது","composer.personalitySlashCommand.description.pragmatic":"சுருக்கமானது, பணியை மையமாகக் கொண்டது, நேரடியானது","composer.personalitySlashCommand.label.friendly":"நட்பானது","composer.personalitySlashCommand.label.pragmatic":"நடைமுறைக்கேற்ப","composer.personalitySlashCommand.notApplicableSuffix":"(தற்போதைய மாடலுக்குப் பொருந்தாது)","composer.personalitySlashCommand.title":"ஆளுமை","composer.placeholder.cloudFollowUp.directFollowUp":"இந்தக் கிளவுட் பணிக்கான பின்தொடரல்","composer.placeholder.cloudFollowUp.local":"இந்தக் கிளவுட் பணியைக் குறிப்பிடும் புதிய லோக்கல் பணியை உருவாக்கவும்","composer.placeholder.cloudFollowUp.workingTree":"உங்கள் தற்போதைய குறியீட்டை உள்ளடக்கிய ஒரு புதிய கிளவுட் பணியை உருவாக்கவும், இந்தப் பணியைக் குறிப்பிடும்","composer.placeholder.localFollowUp.cloud":"ஒரு புதிய கிளவுட் பணியில் பின்தொடரல்","composer.placeholder.localFollowUp.locally":"பின்தொடர்தல் மாற்றங்களைக் கேளுங்கள்","composer.placeholder.newTask.cloud":"கிளவுட்டில் எதையும் செய்ய Codex-ஐக் கேளுங்கள்","composer.placeholder.newTask.doAnything":"Codex-ஐ எதையும் செய்யச் சொல்லவும்","composer.placeholder.newTask.locally":"Codex-இடம் எதையும் கேளுங்கள், கோப்புகளைச் சேர்க்க @, கட்டளைகளுக்கு /","composer.planModeDropdown":"திட்டப் பயன்முறை","composer.planModeDropdown.ariaLabel":"திட்டப் பயன்முறை","composer.planModeIndicator":"திட்டம்","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex-ஐப் பயன்படுத்தி ஒரு திட்டத்தை உருவாக்குங்கள்","composer.planModeIndicator.tooltipToggle":"நிலைமாற்ற","composer.planSlashCommand.disableDescription":"திட்டப் பயன்முறையை ஆஃப் செய்யவும்","composer.planSlashCommand.enableDescription":"திட்டப் பயன்முறையை ஆன் செய்யவும்","composer.planSlashCommand.title":"திட்டப் பயன்முறை","composer.priorContext.label":"முந்தைய சூழல்","composer.priorContext.removeAriaLabel":"முந்தைய சூழலை அகற்றும்","composer.queuedMessage.delete":"வரிசையில் உள்ள செய்தியை நீக்கும்","composer.queuedMessage.edit":"செய்தியை திருத்தவும்","composer.queuedMessage.more":"வரிசைப்படுத்தப்பட்ட செய்தி நடவடிக்கைகள்","composer.queuedMessage.sendNow":"திசைமாற்று","composer.queuedMessage.sendNowTooltip":"வேலைக்கு இடையூறு செய்யாமல் இப்போதே அனுப்பலாம்","composer.queuedMessage.turnOff":"வரிசைப்படுத்தலை ஆஃப் செய்","composer.reasoningEffort.local.reasoning.tooltip":"காரணவிளக்கமளித்தல் முயற்சியைத் தேர்ந்தெடுக்கவும்","composer.remote.branchStartingPoint":"இந்தப் பணி எந்தக் கிளையிலிருந்து தொடங்க வேண்டும்?","composer.remote.branchesSectionHeading":"கிளைகள்","composer.remote.currentEditsSuffix.followUp":"இந்தக் கிளவுட் பணியைக் குறிப்பிடும் புதிய பணியை உருவாக்கவும்.","composer.remote.currentEditsSuffix.useLocal":"லோக்கல் கோடிங் மாற்றங்களுடன்","composer.remote.directFollowUp":"லோக்கல் மாற்றங்களைப் பயன்படுத்த வேண்டாம்.","composer.remote.errorLoadingBranches":"கிளைகளை ஏற்றுவதில் பிழை","composer.remote.fromBranch":"{branch} இலிருந்து","composer.remote.fromCurrentBranch":"{branch}-இலிருந்து (நடப்பு)","composer.remote.loadingMoreBranches":"ஏற்றுகிறது…","composer.remote.localFileStateHeading":"லோக்கல் கோப்பு நிலை","composer.remote.localWorkingTree":"லோக்கல் மாற்றங்களைப் பயன்படுத்தவும்","composer.remote.startingPoint":"இந்தப் பணி எந்த கோடிங்கிலிருந்து தொடங்க வேண்டும்?","composer.reviewMode.branches.error":"கிளைகளை ஏற்ற முடியவில்லை","composer.reviewMode.branches.retry":"மீண்டும் முயற்சிக்கவும்","composer.reviewMode.gitRoot.error":"Git ரூட் கிடைக்கவில்லை","composer.reviewMode.option.baseBranch.simple":"அடிப்படைக் கிளைக்கு எதிராக மீளாய்வு செய்க","composer.reviewMode.option.unstaged.simple":"செய்யப்படாத மாற்றங்களை மீளாய்வு செய்க","composer.reviewMode.quickReviewError":"கோடிங் மீளாய்வைத் தொடங்க முடியவில்லை.","composer.reviewMode.title":"குறியீடு மீளாய்வு","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml ஆல் முழு அணுகல் முடக்கப்பட்டுள்ளது","composer.sandboxButton.windowsSandboxDialog.content":"கோப்பு முறைமை மற்றும் நெட்வொர்க் அணுகலைக் கட்டுப்படுத்த Codex, Windowsல் ஒரு சோதனை சாண்ட்பாக்ஸைப் பயன்படுத்தலாம். {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows சாண்ட்பாக்ஸைச் செயல்படுத்தவா?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"படிக்க-மட்டும் பயன்முறையைப் பயன்படுத்து","composer.searchEnvironments":"சூழல்களைத் தேடவும்","composer.skillMentionList.app":"செயலி","composer.skillMentionList.loading":"ஸ்கில்களை ஏற்றுகிறது...","composer.skillMentionList.noResults":"ஸ்கில்கள் எதுவுமில்லை","composer.slashCommands.cloudEnvironment.title":"கிளவுட் சூழல்","composer.slashCommands.dialogLabel":"ஸ்லாஷ் கட்டளை மெனு","composer.slashCommands.dialogTitle":"ஸ்லாஷ் கட்டளைகள்","composer.slashCommands.disabledTooltip":"ஸ்லாஷ் கட்டளைகளைப் பயன்படுத்த புதிய உரையாடலைத் தொடங்கவும்","composer.slashCommands.inputPlaceholder":"தேடவும்","composer.slashCommands.noResults":"கட்டளைகள் இல்லை","composer.slashCommands.skillsGroup":"திறன்கள்","composer.slashCommands.tooltip":"ஸ்லாஷ் கட்டளைகளை உலாவுக","composer.status.close":"மூடுக","composer.statusPlain.alertLabel":"விழிப்பூட்டல்:","composer.statusPlain.alertValue":"{window}-இல் {remaining}% மீதமுள்ளது ","composer.statusPlain.contextLabel":"சூழல்","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} பயன்படுத்தப்பட்டது / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% மீதமுள்ளது","composer.statusPlain.heading":"நிலை","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} வரம்பு:","composer.statusPlain.rateLimitDays":"{count} நாள் வரம்பு","composer.statusPlain.rateLimitFallbackLabel":"விகித வரம்பு:","composer.statusPlain.rateLimitHours":"{count} மநே வரம்பு","composer.statusPlain.rateLimitLabelBase":"விகித வரம்பு","composer.statusPlain.rateLimitMinutes":"{count} நிமிட வரம்பு","composer.statusPlain.rateLimitPercent":"{remaining}% மீதமுள்ளது","composer.statusPlain.rateLimitReset":"மீட்டமைக்கிறது {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"மீட்டமைப்பு நேரம் கிடைக்கவில்லை","composer.statusPlain.rateLimitUnavailable":"கிடைக்கவில்லை","composer.statusPlain.sessionCopiedAriaLabel":"அமர்வு ஐடி நகலெடுக்கப்பட்டது","composer.statusPlain.sessionCopiedTooltip":"நகலெடுக்கப்பட்ட ஐடி","composer.statusPlain.sessionCopyAriaLabel":"அமர்வு ஐடியை நகலெடுக்கும்","composer.statusPlain.sessionCopyTooltip":"ஐடியை நகலெடுக்கவும்","composer.statusPlain.sessionLabel":"அமர்வு:","composer.statusSlashCommand.description":"தொடரின் ஐடி, சூழல் பயன்பாடு மற்றும் விகித வரம்புகளைக் காட்டும்","composer.statusSlashCommand.title":"நிலை","composer.submit.blockedDialogOk":"சரி","composer.submit.blockedDialogTitle":"செய்தி அனுப்ப முடியவில்லை","composer.submit.emptyMessage":"தொடங்குவதற்கு ஒரு செய்தியை உள்ளிடவும்","composer.submit.imageInputsUnsupported":"இந்தச் செய்தியை அனுப்ப படங்களை அகற்றவும் அல்லது மாடல்களை மாற்றவும்.","composer.submit.loadingLocalConfig":"ஏற்றுகிறது…","composer.submit.missingCloudConfig":"நீங்கள் ஒரு கிளவுட் சூழலைத் தேர்ந்தெடுக்க வேண்டும்","composer.submit.missingCloudTurn":"இந்தப் பணியைப் பின்தொடர முடியாது","composer.submit.noWorkspace":"Codex-ஐப் பயன்படுத்த ஒரு திட்டத்தைச் சேர்க்கவும்","composer.submit.waitForImageUploads":"படங்களைப் பதிவேற்றுதல்…","composer.submitButtonTooltip.send":"அனுப்பு","composer.submitButtonTooltip.stop":"நிறுத்து","composer.worktreeEnvironment.create":"லோக்கல் சூழலை உருவாக்கு","composer.worktreeEnvironment.default":"இயல்புநிலை சூழல்","composer.worktreeEnvironment.error":"சூழல்களை ஏற்றுவதில் பிழை","composer.worktreeEnvironment.loading":"சூழலை ஏற்றுகிறது…","composer.worktreeEnvironment.title":"லோக்கல் சூழல்","composer.worktreeEnvironment.tooltip":"லோக்கல் சூழலைத் தேர்ந்தெடுக்கவும்","composer.worktreeSetupFailed":"ஒர்க்ட்ரீ அமைப்பு தோல்வியடைந்தது. அமைப்பு ஸ்கிரிப்டுக்கு .codex/environments ஐப் பாருங்கள்.","compoundButton.secondaryAction":"இரண்டாம் நிலை நடவடிக்கை","copyButton.copied":"நகலெடுக்கப்பட்டது","copyButton.copiedAriaLabel":"நகலெடுக்கப்பட்டது","copyButton.copy":"நகலெடுக்கவும்","copyButton.copyAriaLabel":"நகலெடுக்கவும்","copyButton.copyCode":"குறியீட்டை நகலெடுக்கவும்","diff.actionButton.revertFile":"கோப்பை மாற்றியமைக்கலாம்","diff.actionButton.revertHunk":"திரும்பவும்","diff.actionButton.revertSection":"எல்லாம் திரும்பலாம்","diff.actionButton.revertSectionLabel":"எல்லாம் திருப்பு","diff.actionButton.stageFile":"கோப்பை ஸ்டேஜ் செய்யலாம்","diff.actionButton.stageHunk":"ஸ்டேஜ் செய்யலாம்","diff.actionButton.stageSection":"எல்லாம் ஸ்டேஜ் செய்யலாம்","diff.actionButton.stageSectionLabel":"எல்லாம் ஸ்டேஜ் செய்","diff.actionButton.unstageFile":"கோப்பை அன்ஸ்டேஜ் செய்யலாம்","diff.actionButton.unstageHunk":"அன்ஸ்டேஜ் செய்யலாம்","diff.actionButton.unstageSection":"எல்லாம் அன்ஸ்டேஜ் செய்யலாம்","diff.actionButton.unstageSectionLabel":"எல்லாம் அன்ஸ்டேஜ் செய்","diff.fileHeader.toggle":"கோப்பு வேறுபாட்டை மாற்று","electron.onboarding.login.apikey.cancel":"ரத்துசெய்","electron.onboarding.login.apikey.continue":"தொடர்க","electron.onboarding.login.apikey.label":"OpenAI API விசை","electron.onboarding.login.apikey.open":"API விசையை உள்ளிடு","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"உள்நுழைவை ரத்துசெய்க","electron.onboarding.login.chatgpt.continue":"ChatGPT -உடன் தொடரவும்","electron.onboarding.login.devbox":"ரிமோட் SSH -உடன் இணைக்கவும்","electron.onboarding.login.error":"உள்நுழைதல் தோல்வியடைந்தது: {rawMessage}","electron.onboarding.login.snake.start":"பாம்பு கேம் விளையாடலாம்","electron.onboarding.login.sshConfig.cancel":"ரத்துசெய்","electron.onboarding.login.sshConfig.continue":"தொடர்க","electron.onboarding.login.sshConfig.hostnameLabel":"SSH ஹோஸ்ட்பெயர்","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ஏஜன்ட்களுடன் கட்டமைக்க சிறந்த வழி","electron.onboarding.login.title":"Codex-க்கு வரவேற்கிறோம்","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"தொடர்க","electron.onboarding.welcome.doubleLimits.description":"Codex செயலி அறிமுகப்படுத்தப்பட்டதைக் கொண்டாடும் விதமாக, ஏப்ரல் 2 வரை உங்களுக்கு 2× கட்டண வரம்புகள் உள்ளன.","electron.onboarding.welcome.freego.description":"மார்ச் 2 வரை உங்கள் திட்டத்தில் இலவசமாக Codex சேர்க்கப்பட்டுள்ளது - ஒன்றாக உருவாக்கத் தொடங்குவோம்.","electron.onboarding.welcome.new.title.anon":"வரவேற்கிறோம்!","electron.onboarding.workspace.continue":"தொடர்க","electron.onboarding.workspace.empty":"தொடர ஒரு திட்டத்தைச் சேர்க்கவும்.","electron.onboarding.workspace.listLabel":"கிடைக்கும் திட்டங்கள்","electron.onboarding.workspace.loading":"திட்டங்களை ஏற்றுகிறது…","electron.onboarding.workspace.openFolder":"திட்டத்தைச் சேர்","electron.onboarding.workspace.selectAll":"அனைத்தையும் தேர்ந்தெடுக்கவும்","electron.onboarding.workspace.skip":"தவிர்த்திடு","electron.onboarding.workspace.skip.error":"புதிய திட்டத்தை உருவாக்க முடியவில்லை: {message}","electron.onboarding.workspace.skip.error.unknown":"அறியப்படாத பிழை","electron.onboarding.workspace.skipping":"ஒரு புதிய திட்டத்தை உருவாக்குகிறது…","electron.onboarding.workspace.subtitle":"Codex-ஆல், தேர்ந்தெடுக்கப்பட்ட கோப்புறைகளில் கோப்புகளைத் திருத்தவும் கட்டளைகளை இயக்கவும் முடியும்.","electron.onboarding.workspace.title":"ஒரு திட்டத்தைத் தேர்ந்தெடுக்கவும்","errorPage.list.checkSettings":"உங்கள் IDE அமைப்புகளைப் புதுப்பிக்க முயற்சிக்கவும்","errorPage.list.configToml":"தவறான அமைப்புகளுக்கு உங்கள் config.toml -ஐச் சரிபார்க்கவும்","errorPage.list.downloadExtension":"நீட்டிப்பின் வேறு பதிப்பைப் பதிவிறக்க முயற்சிக்கவும்","errorPage.list.runInWsl":"பொருந்துகின்ற சிக்கல்களைக் கண்டால் WSL -இல் இயங்குவதை முடக்க உங்கள் அமைப்புகளைச் சரிபார்க்கவும்","execApprovalRequest.menu.runAlways":"ஆம், இந்த அமர்வில் மீண்டும் கேட்க வேண்டாம்","execApprovalRequest.menu.runAlwaysWithAmendment":"ஆம், {command}-இல் தொடங்கும் கட்டளைகளை மீண்டும் கேட்க வேண்டாம்","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ஆம், மீண்டும் தொடங்கும் கட்டளைகளைக் கேட்க வேண்டாம்","execApprovalRequest.menu.runOnce":"ஆம்","execApprovalRequest.prompt":"இந்தக் கட்டளையை இயக்க விரும்புகிறீர்களா?","execApprovalRequest.reject":"இல்லை","execFooter.exitCode":"வெளியேறல் குறியீடு {code}","execFooter.exitCode.unknown":"அறியப்படாதது","execFooter.success":"வெற்றி","feedback.dialog.category.badResult":"மோசமான முடிவு","feedback.dialog.category.bug":"பிழை","feedback.dialog.category.goodResult":"சிறந்த முடிவு","feedback.dialog.category.other":"வேறு","feedback.dialog.descriptionPlaceholder":"இங்கே சிக்கலை விவரிக்கவும்","feedback.dialog.dismiss":"நிராகரிக்கவும்","feedback.dialog.includeLogsLabel":"தற்போதைய Codex அமர்வுப் பதிவுகளைச் சேர்க்கவும்","feedback.dialog.submit":"சமர்ப்பிக்குக","feedback.dialog.submitError":"உங்கள் கருத்தைச் சமர்ப்பிக்க முடியவில்லை. சிறிது நேரத்திற்குப் பிறகு முயற்சிக்கவும்.","feedback.dialog.title":"பின்னூட்டம்","feedback.dialog.uploadedMessage.existingIssue":"ஏற்கெனவே உள்ள பிரச்சினை","feedback.dialog.uploadedMessage.openIssue":"GitHub சிக்கலைத் திற","feedback.dialog.uploadedMessage.withThread":"பின்னூட்டம் பதிவேற்றப்பட்டது. சிக்கல் தொடர்ந்தால், தயவுசெய்து {openIssueLink} அல்லது {existingIssueLink}-இல் தொடர் ஐடியைக் குறிப்பிடவும்:","feedback.dialog.uploadedTitle":"பின்னூட்டம் பதிவேற்றப்பட்டது","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} -ஐ அகற்றவும்","header.back":"பின் செல்க","header.recentChats":"பணிகள்","header.recentTasks.seeAll":"அனைத்தையும் காண்க ({total})","home.header.getPlus":"Plus பெறவும்","home.hero.letsBuild":"வாருங்கள், கட்டமைக்கலாம்","homePage.mainContent":"பிரதான உள்ளடக்கம்","imageAttachment.defaultName":"படம்","imageAttachment.preview.close":"பட முன்னோட்டத்தை மூடும்","imageAttachment.removeAriaLabel":"{filename} -ஐ அகற்றவும்","implementPlanRequest.option.implement":"ஆம், இந்தத் திட்டத்தை அமல்படுத்தவும்","implementPlanRequest.prompt":"இந்தத் திட்டத்தை அமல்படுத்தவா?","inbox.archived.deleteError":"காப்பகப்படுத்திய இயக்கத்தை நீக்க முடியவில்லை","inbox.archived.deleteRun":"காப்பகப்படுத்திய இயக்கத்தை நீக்கும்","inbox.archived.deleteSuccess":"காப்பகப்படுத்திய தொடர் நீக்கப்பட்டது. <settingsLink>காப்பகப்படுத்திய தொடர்களில்</settingsLink> காண்க.","inbox.archived.inlineLabel.auto":"இந்தத் தொடர் தானாகவே காப்பகப்படுத்தப்பட்டது. <learnMoreLink>மேலும் அறிக</learnMoreLink>","inbox.archived.inlineLabel.manual":"இத்தொடர் காப்பகப்படுத்தப்பட்டது.","inbox.archived.noMessageFound":"எந்த செய்தியும் கிடைக்கவில்லை","inbox.automations.createError":"ஆட்டோமேஷனை உருவாக்க முடியவில்லை","inbox.automations.deleteConfirm.cancel":"ரத்துசெய்","inbox.automations.deleteConfirm.confirm":"ஆட்டோமேஷனை நீக்கு","inbox.automations.deleteConfirm.description":"இது ஆட்டோமேஷனை நிரந்தரமாக நீக்கி, எதிர்காலத்தில் இயக்கப்படுவதை நிறுத்தும்.","inbox.automations.deleteConfirm.title":"{name}-ஐ நீக்கவா?","inbox.automations.deleteError":"ஆட்டோமேஷனை நீக்க முடியவில்லை","inbox.automations.editTooltip":"ஆட்டோமேஷனைத் திருத்தவும்","inbox.automations.inProgress":"செயலில் உள்ளது","inbox.automations.new":"புதியது","inbox.automations.newToolbar":"புதிய ஆட்டோமேஷன்","inbox.automations.pauseTooltip":"ஆட்டோமேஷனை இடைநிறுத்தலாம்","inbox.automations.resumeTooltip":"ஆட்டோமேஷனை மீண்டும் தொடங்கலாம்","inbox.automations.startingNow":"இப்போது தொடங்குகிறது","inbox.automations.startsIn":"{startTime}-இல் தொடங்குகிறது","inbox.automations.status.active":"செயலில்","inbox.automations.status.paused":"இடைநிறுத்தப்பட்டது","inbox.automations.status.runs":"{count} இயக்கங்கள்","inbox.automations.status.started":"தொடங்கியது {date}","inbox.automations.updateError":"ஆட்டோமேஷனைப் புதுப்பிக்க முடியவில்லை","inbox.automations.workspaceFallback":"-","inbox.filter.all":"அனைத்தும்","inbox.filter.ariaLabel":"இன்பாக்ஸ் உருப்படிகளை வடிகட்டும்","inbox.filter.unread":"படிக்காதது","inbox.list.archived":"ஆவணக் காப்பிடப்பட்டது","inbox.list.inProgress":"செயலில் உள்ளது","inbox.list.recent":"முடிந்தது","inbox.list.upNext":"திட்டமிடப்பட்டது","inbox.mode.automations":"ஆட்டோமேஷன்கள்","inbox.mode.automations.beta":"பீட்டா","inbox.noDescription":"விவரம் எதுவும் வழங்கப்படவில்லை","inbox.openThread":"தொடரைத் திற","inbox.rightPanel.emptySubtitle":"திட்டமிடப்பட்ட பணிகளை அமைப்பதன் மூலம் வேலையை தானியங்குபடுத்தலாம்","inbox.rightPanel.emptySubtitle.learnMore":"திட்டமிடப்பட்ட தொடர்களை அமைப்பதன் மூலம் வேலையை தானியங்குபடுத்தலாம்.<link>மேலும் அறிக</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# செயல்படும் ஆட்டோமேஷன்} other {# செயல்படும் ஆட்டோமேஷன்கள்}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"படிக்காத ஆட்டோமேஷன்கள் இல்லை","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# படிக்காத ஆட்டோமேஷன்} other {# படிக்காத ஆட்டோமேஷன்கள்}}","inbox.rightPanel.emptyTitle":"எந்த உருப்படியும் தேர்ந்தெடுக்கப்படவில்லை","inbox.rightPanel.noThread":"இந்த உருப்படிக்கு எந்தத் தொடரும் இல்லை","inbox.rightPanel.quickStart.header":"ஒரு டெம்பிளேட்டுடன் தொடங்கவும்","inbox.untitled":"பெயரிடப்படாத இன்பாக்ஸ் உருப்படி","loadingPage.documentationLink":"ஆவணம்","loadingPage.errorDescription":"பின்வரும் பிழையுடன் Codex செயலிழந்தது:","loadingPage.errorDescription.documentation":"Codex நீட்டிப்பை மறுதொடக்கம் செய்ய, மீண்டும் ஏற்றுக என்பதைக் கிளிக் செய்யவும் அல்லது கூடுதல் உதவிக்கு எங்கள் {documentationLink}-ஐப் பார்வையிடவும்.","loadingPage.errorSignal":"முயற்சிக்க சில விஷயங்கள்:","loadingPage.errorTitle":"ஒரு பிழை ஏற்பட்டுள்ளது","loadingPage.openConfigToml":"Config.toml -ஐத் திறக்கவும்","loadingPage.reload":"மீளேற்றுக","localConversation.contextCompacted":"சூழல் தானாகவே சுருக்கப்பட்டது","localConversation.contextCompacting":"தானாகவே சூழலைச் சுருக்குகிறது","localConversation.forkedFromConversation":"{threadTitle}-இலிருந்து ஃபோர்க் செய்தது","localConversation.merge.autoResolve.failed":"தானியங்கி தீர்வைக் கோருவது தோல்வியடைந்தது: {error}","localConversation.merge.autoResolve.sent":"தானியங்கு தீர்வு கோரிக்கை அனுப்பப்பட்டது","localConversation.merge.autoResolveMerge.missingConversation":"செயலில் உள்ள உரையாடல் இல்லாமல் தானாக தீர்க்க முடியாது.","localConversation.merge.autoResolveMerge.request":"இணைப்பு முரண்பாடுகளைத் தானாகத் தீர்க்கலாம்","localConversation.modelChanged":"மாடல், {fromModel}-இலிருந்து {toModel}க்கு மாற்றப்பட்டது.","localConversation.modelChanged.warning.line1":"உரையாடலின் நடுவில் மாடல்களை மாற்றுவது செயல்திறனைக் குறைக்கும்.","localConversation.modelChanged.warning.line2":"சூழல் தானாகவே சுருக்கப்படலாம்.","localConversation.moveThread.createBranch.label":"கிளையை உருவாக்கு","localConversation.moveToLocal.disabled.loading":"ஏற்றுகிறது…","localConversation.moveToLocal.modal.continue":"தொடர்க","localConversation.moveToLocal.modal.destinationLabel":"இதற்கு நகர்த்து","localConversation.moveToLocal.modal.retry":"மீண்டும் முயற்சிக்கவும்","localConversation.moveToWorktree.modal.back":"பின் செல்க","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"கிளை ஏற்கெனவே உள்ளது.","localConversation.moveToWorktree.modal.branchesError":"கிளைகளை ஏற்ற முடியவில்லை","localConversation.moveToWorktree.modal.branchesLoading":"கிளைகளை ஏற்றுகிறது…","localConversation.moveToWorktree.modal.branchesRetry":"மீண்டும் முயற்சிக்கவும்","localConversation.moveToWorktree.modal.continue":"தொடர்க","localConversation.moveToWorktree.modal.retry":"மீண்டும் முயற்சிக்கவும்","localConversation.moveToWorktree.modal.trailingSlashError":"கிளை பெயர் “/” உடன் முடியக் கூடாது.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"புதிய-கிளை","localConversation.personalityChanged":"{personality} ஆளுமைக்கு மாற்றப்பட்டது","localConversation.planSummary.collapse":"திட்டச் சுருக்கத்தைச் சுருக்கும்","localConversation.planSummary.collapseTooltip":"சுருக்கவும்","localConversation.planSummary.download":"திட்டத்தைப் பதிவிறக்கலாம்","localConversation.planSummary.expand":"திட்டச் சுருக்கத்தை விரித்திடும்","localConversation.planSummary.expandTooltip":"விரிவாக்குக","localConversation.planSummary.openInNewWindow":"திறக்கவும்","localConversation.planSummary.openInNewWindow.tooltip":"புதிய சாளரத்தில் திற","localConversation.planSummary.title":"திட்டம்","localConversation.planSummary.titleWriting":"எழுதல் திட்டம்","localConversation.planSummary.viewPlan":"திட்டத்தை விரிவாக்கு","localConversation.remoteTaskCreated":"Codex Cloud-இல் {taskLink} உருவாக்கப்பட்டது","localConversation.remoteTaskCreated.task":"பணி","localConversation.scrollToBottomButton":"கீழ் வரை நகர்த்து","localConversation.sync.buttonLabel":"லோக்கலிடம் ஒப்படை","localConversation.sync.buttonLabel.tooltip":"இந்த ஒர்க்ட்ரீக்கும் உங்கள் லோக்கல் செக் அவுட்டிற்கும் இடையிலான மாற்றங்களை ஒப்படைக்கும்.","localConversation.sync.modal.loading.title":"மாற்றங்களை ஒப்படைக்கிறது…","localConversation.sync.modal.noChanges":"மாற்றங்கள் இல்லை","localConversation.syncSetup.branchAriaLabel":"கிளைப் பெயர்","localConversation.syncSetup.branchName":"கிளைப் பெயர்","localConversation.syncSetup.branchPlaceholder.existing":"இருக்கும் கிளையைத் தேர்ந்தெடுக்கவும்","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"கிளைகளை ஏற்றுகிறது…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ஏற்கெனவே செக் அவுட் செய்யப்பட்டது","localConversation.syncSetup.checkoutClean":"தற்போது {branchName}-இல்","localConversation.syncSetup.checkoutDirty":"தற்போது {branchName}-இல் கமிட் செய்யாத மாற்றங்களுடன்","localConversation.syncSetup.checkoutError":"கிளையை செக் அவுட் செய்ய முடியவில்லை: {message}","localConversation.syncSetup.checkoutLabel":"இப்போதே லோக்கலில் பாருங்கள்","localConversation.syncSetup.checkoutOnLocal":"லோக்கலிடம் ஒப்படை","localConversation.syncSetup.checkoutPending":"லோக்கல் நிலையைச் சோதிக்கிறது…","localConversation.syncSetup.checkoutUnavailable":"லோக்கல் பணியிடம் கிடைக்கவில்லை","localConversation.syncSetup.checkoutUnknown":"லோக்கல் கிளை கிடைக்கவில்லை","localConversation.syncSetup.continue":"தொடர்க","localConversation.syncSetup.createBranchError":"ஒப்படைப்புக் கிளையை அமைக்க முடியவில்லை: {message}","localConversation.syncSetup.error":"ஏதோ தவறு நடந்துவிட்டது: {message}","localConversation.syncSetup.error.workingTreeMissing":"ஒர்க்ட்ரீயை ஸ்னாப்ஷாட் செய்ய முடியவில்லை. மீண்டும் ஒப்படைக்க முயற்சிக்கவும்.","localConversation.syncSetup.mode.ariaLabel":"கிளை பயன்முறையைத் தேர்ந்தெடுக்கும்","localConversation.syncSetup.mode.existing":"இருக்கும் கிளை","localConversation.syncSetup.mode.new":"புதிய கிளை","localConversation.syncSetup.noBranches":"கிளைகள் எதுவும் கிடைக்கவில்லை","localConversation.syncSetup.overwriteError":"கிளை உருவாக்கப்பட்டது, ஆனால் முழுமையாக ஒப்படைக்கப்படவில்லை. லோக்கலிடம் சரிபார்க்கும் முன் கைமுறையாக ஒப்படைக்கவும்.","localConversation.syncSetup.setPrefix":"முன்னொட்டை அமை","localConversation.syncSetup.subtitle":"ஒர்க்ட்ரீ மாற்றங்களை லோக்கலில் சோதித்துப் பாருங்கள். <a>மேலும் அறிக</a>","localConversation.syncSetup.success.checkedOut":"கிளை உருவாக்கப்பட்டது மற்றும் லோக்கலில் சரிபார்க்கப்படுகிறது","localConversation.syncSetup.success.notCheckedOut":"கிளை உருவாக்கப்பட்டது","localConversation.syncSetup.title":"லோக்கல் கிளையிடம் ஒப்படைக்கவும்","localConversation.syncWorktreeError.branchAriaLabel":"கிளைப் பெயர்","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"ஒப்படைக்க ஒரு கிளையைத் தேர்வுசெய்து, மாற்றங்களை மீண்டும் ஏற்ற முயற்சிக்கவும்.","localConversation.syncWorktreeError.branchSetup.title":"கிளையைப் புதுப்பி","localConversation.syncWorktreeError.branchUpdate.cta":"புதுப்பித்து மீண்டும் முயற்சிக்கவும்","localConversation.syncWorktreeError.branchUpdate.error":"கிளையைப் புதுப்பிக்க முடியவில்லை: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"ஏதோ தவறு நடந்துவிட்டது: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"எந்த ஒர்க்ட்ரீயிலும் கிளை சரிபார்க்கப்படவில்லை.","localConversation.syncWorktreeV2.applyUncommitted":"பிரயோகிக்கவும்","localConversation.syncWorktreeV2.applyUncommitted.disabled":"கமிட் செய்யாத மாற்றங்களைப் பிரயோகிக்க, நீங்கள் லோக்கலில் கிளையை செக் அவுட் செய்ய வேண்டும்","localConversation.syncWorktreeV2.branches.empty":"கிளைகள் எதுவும் கிடைக்கவில்லை","localConversation.syncWorktreeV2.branches.loading":"கிளைகளை ஏற்றுகிறது…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"ஒப்படைப்புக் கிளையை மாற்றும்","localConversation.syncWorktreeV2.changeBranch.error":"ஒப்படைப்புக் கிளையை மாற்ற முடியவில்லை: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"பிரயோகித்தல் தோல்வியுற்றது","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"ஒர்க்ட்ரீ மேலெழுதல் தோல்வியுற்றது","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"லோக்கல் மேலெழுதல் தோல்வியுற்றது","localConversation.syncWorktreeV2.commandError.back":"பின் செல்க","localConversation.syncWorktreeV2.commandError.body":"அனுப்பும்போது ஒரு git கட்டளை தோல்வியடைந்தது. வெளியீட்டை மீளாய்வு செய்து மீண்டும் முயற்சிக்கவும்.","localConversation.syncWorktreeV2.commandError.retry":"மீண்டும் முயற்சிக்கவும்","localConversation.syncWorktreeV2.description":"லோக்கல் மற்றும் இந்த ஒர்க்ட்ரீக்கு இடையே மாற்றங்களை ஒப்படைக்கவும் <a>மேலும் அறிக</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"ஒப்படைப்புத் திசையைத் தேர்ந்தெடுக்கும்","localConversation.syncWorktreeV2.error.generic":"ஒப்படைக்கும்போது ஏதோ தவறு ஏற்பட்டது. மீண்டும் முயற்சிக்கவும்.","localConversation.syncWorktreeV2.localBranchLabel":"அகம்","localConversation.syncWorktreeV2.noChanges":"மாற்றங்களைக் கணக்கிடுதல்","localConversation.syncWorktreeV2.noChanges.summary":"மாற்றங்கள் இல்லை","localConversation.syncWorktreeV2.overwrite.local":"லோக்கல் மேலெழுது","localConversation.syncWorktreeV2.overwrite.worktree":"ஒர்க்ட்ரீ மேலெழுது","localConversation.syncWorktreeV2.partial.action.applyFailed":"மாற்றங்களைப் பிரயோகிக்க முடியவில்லை","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"லோக்கல் மாற்றங்களை மேலெழுத முடியவில்லை","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ஒர்க்ட்ரீ மாற்றங்களை மேலெழுத முடியவில்லை","localConversation.syncWorktreeV2.partial.appliedLabel":"பிரயோகிக்கப்பட்டது","localConversation.syncWorktreeV2.partial.back":"பின் செல்க","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"முரண்பாடுகளைத் தீர்த்து மீண்டும் முயற்சிக்கவும்.","localConversation.syncWorktreeV2.partial.conflictsLabel":"முரண்பாடுகள்","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# file} other {# கோப்புகள்}}","localConversation.syncWorktreeV2.partial.retry":"மீண்டும் முயற்சிக்கவும்","localConversation.syncWorktreeV2.partial.skippedLabel":"தவிர்த்தது","localConversation.syncWorktreeV2.stateFailed.generic":"ஒர்க்ட்ரீ மாற்றங்களை ஒப்படைக்க எடுக்கும் போது ஏதோ தவறு ஏற்பட்டது. மீண்டும் முயற்சித்திடுங்கள்.","localConversation.syncWorktreeV2.stateFailed.title":"ஒர்க்ட்ரீ மாற்றங்களை ஏற்ற முடியவில்லை","localConversation.syncWorktreeV2.statusError.diffUnknown":"ஒர்க்ட்ரீ மாற்றங்களை ஏற்ற முடியவில்லை.","localConversation.syncWorktreeV2.statusError.retry":"மீண்டும் முயற்சிக்கவும்","localConversation.syncWorktreeV2.statusError.title":"லோக்கல் கிளை மாற்றங்களை ஏற்ற முடியவில்லை","localConversation.syncWorktreeV2.statusError.unknown":"கிளை நிலை தற்போது கிடைக்கவில்லை. மீண்டும் முயற்சிக்கவும்.","localConversation.syncWorktreeV2.success.apply":"மாற்றங்கள் வெற்றிகரமாகப் பிரயோகிக்கப்பட்டன","localConversation.syncWorktreeV2.success.overwrite":"ஒப்படைப்பு வெற்றிகரமாக முடிந்தது","localConversation.syncWorktreeV2.title":"மாற்றங்களை ஒப்படைக்கவும்","localConversation.syncWorktreeV2.worktreeLabel":"பணிப்பிரிவு","localConversation.userInputRequest.inProgress":"கேட்பது {count, plural, one {கேள்வி} other {கேள்விகள்}}","localConversation.userInputRequest.noAnswer":"பதில் எதுவும் வழங்கப்படவில்லை","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"கேட்டது","localConversation.userInputRequest.summary.count":"{count, plural, one {# கேள்வி} other {# கேள்விகள்}}","localConversation.workedFor":"{time} வேலை செய்தது","localConversation.worktreeBranchSetup.action.create":"உருவாக்கு","localConversation.worktreeBranchSetup.branchAriaLabel":"கிளைப் பெயர்","localConversation.worktreeBranchSetup.branchPlaceholder.new":"புதிய கிளையை உருவாக்கவும்","localConversation.worktreeBranchSetup.checkoutDisabled":"இந்தக் கிளை ஏற்கெனவே {location}-இல் செக் அவுட் செய்யப்பட்டுள்ளது","localConversation.worktreeBranchSetup.checkoutError":"கிளையை செக் அவுட் செய்ய முடியவில்லை: {message}","localConversation.worktreeBranchSetup.createBranchError":"கிளையை அமைக்க முடியவில்லை: {message}","localConversation.worktreeBranchSetup.error":"ஏதோ தவறு நடந்துவிட்டது: {message}","localConversation.worktreeBranchSetup.subtitle":"இந்த ஒர்க்ட்ரீயிலிருந்து மாற்றங்களைச் செய்ய, புஷ் செய்ய மற்றும் PR -ஐ உருவாக்க ஒரு கிளையை உருவாக்கவும். <a>மேலும் அறிக</a>","localConversation.worktreeBranchSetup.title":"இங்கு வேலை செய்க","localConversationPage.addWorktreeToSidebar.tooltip":"இந்த ஒர்க்ட்ரீயிலிருந்து புதிய தொடர்களைத் தொடங்க, ஒரு திட்டமாகச் சேமிக்கவும்","localConversationPage.addWorktreeToSidebarError":"திட்டத்தைச் சேர்க்க முடியவில்லை","localConversationPage.commitAndCreatePrModal.errorTitle":"கமிட் செய்து, PR-ஐ உருவாக்குவது தோல்வியடைந்தது","localConversationPage.commitAndCreatePrModal.successTitle":"கமிட் செய்து, PR உருவாக்கப்பட்டது","localConversationPage.commitAndPushModal.errorTitle":"கமிட் மற்றும் புஷ் தோல்வியடைந்தது","localConversationPage.commitAndPushModal.successTitle":"கமிட் செய்து, புஷ் செய்த மாற்றங்கள்","localConversationPage.commitCreatePr.open":"இழுவைக் கோரிக்கையைத் திற","localConversationPage.commitCreatePr.successTitle":"உங்கள் சமீபத்திய மாற்றங்களுடன் PR உருவாக்கப்பட்டது","localConversationPage.createBranchButtonLabel":"இங்கே கிளையமை","localConversationPage.createPrModal.baseBranch":"பேஸ்","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR-ஐ உருவாக்கு","localConversationPage.createPrModal.createDescription":"உங்கள் சமீபத்திய மாற்றங்களுக்கான இழுவைக் கோரிக்கையைத் திறக்கவும்.","localConversationPage.createPrModal.errorTitle":"இழுவைக் கோரிக்கை தோல்வியடைந்தது","localConversationPage.createPrModal.headBranch":"ஹெட்","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR-ஐத் திற","localConversationPage.createPrModal.successTitle":"இழுவைக் கோரிக்கையை உருவாக்கப்பட்டது","localConversationPage.createPrModal.title":"இழுவைக் கோரிக்கையை உருவாக்குக","localConversationPage.createPrModal.viewDescription":"இந்தக் கிளைக்கு ஏற்கெனவே ஓர் இழுவைக் கோரிக்கை உள்ளது.","localConversationPage.createPrModal.viewTitle":"இழுவைக் கோரிக்கை தயார்","localConversationPage.createPullRequestAuthGh":"GitHub CLI -ஐ அங்கீகரிக்கவும்: `gh auth login` -ஐ இயக்கவும்","localConversationPage.createPullRequestBranchMissing":"கிளைத் தகவல் கிடைக்கவில்லை","localConversationPage.createPullRequestButtonLabel":"PR-ஐ உருவாக்கு","localConversationPage.createPullRequestButtonLabel.loading":"PR-ஐ உருவாக்குகிறது...","localConversationPage.createPullRequestDefaultBranchMissing":"இயல்புநிலை கிளைத் தகவல் கிடைக்கவில்லை","localConversationPage.createPullRequestError":"இழுவைக் கோரிக்கையை உருவாக்க முடியவில்லை","localConversationPage.createPullRequestExistingPullRequest":"இந்தக் கிளைக்கு ஏற்கெனவே ஓர் இழுவைக் கோரிக்கை உள்ளது","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI நிலையை ஏற்றுகிறது…","localConversationPage.createPullRequestInstallGh":"PRகளை உருவாக்க GitHub CLI (gh) -ஐ நிறுவவும்","localConversationPage.createPullRequestNoRepo":"git ரிபாசிட்டரி எதுவும் கிடைக்கவில்லை","localConversationPage.createPullRequestPushStatusMissing":"புஷ் நிலையை ஏற்றுகிறது…","localConversationPage.createPullRequestSetUpstream":"ஒரு PR -ஐ உருவாக்கும் முன் இந்தக் கிளையை புஷ் செய்யவும்","localConversationPage.createPullRequestSuccessToast":"இழுவைக் கோரிக்கையை உருவாக்கப்பட்டது","localConversationPage.createPullRequestSwitchBranch":"ஒரு PR-ஐ உருவாக்கும் முன், ஓர் அம்சக் கிளையைப் பார்க்கவும்","localConversationPage.error.render":"லோக்கல் உரையாடலை ரெண்டர் செய்வதில் பிழை","localConversationPage.error.toast":"உரையாடலைக் காணவில்லை","localConversationPage.forcePushError":"புஷ் கட்டாயப்படுத்த முடியவில்லை","localConversationPage.generatePullRequestMessageError":"இழுத்தல் கோரிக்கைத் தலைப்பு மற்றும் உள்ளடக்கத்தை உருவாக்குவது தோல்வியுற்றது","localConversationPage.generatePullRequestMessageFailed":"இழுத்தல் கோரிக்கைத் தலைப்பு மற்றும் உள்ளடக்கத்தை உருவாக்குவது தோல்வியுற்றது.","localConversationPage.gitActionResult.branch":"கிளை","localConversationPage.gitActionResult.cancel":"ரத்துசெய்","localConversationPage.gitActionResult.close":"மூடுக","localConversationPage.gitActionResult.tryAgain":"மீண்டும் முயற்சித்திடுக","localConversationPage.gitActions":"Git நடவடிக்கைகள்","localConversationPage.newChat":"புதிய அரட்டை","localConversationPage.openInTarget":"இதில் திற","localConversationPage.openPrimaryTarget":"திறக்கவும்","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# பணி முடிந்தது} other {# பணிகள் முடிந்தன}}-இல் {completedItems}","localConversationPage.pushAuthError":"புஷ் தோல்வியுற்றது: அங்கீகாரம் தேவை","localConversationPage.pushBranchMissing":"கிளைத் தகவல் கிடைக்கவில்லை","localConversationPage.pushButtonLabel":"புஷ்","localConversationPage.pushButtonLabel.loading":"புஷ் செய்கிறது…","localConversationPage.pushError":"மாற்றங்களை புஷ் செய்ய முடியவில்லை","localConversationPage.pushModal.branchLabel":"கிளை","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"ரத்துசெய்","localConversationPage.pushModal.confirm":"புஷ்","localConversationPage.pushModal.description":"உங்கள் சமீபத்திய கமிட்களை ரிமோட் களஞ்சியத்திற்குப் புஷ் செய்யவும்.","localConversationPage.pushModal.errorTitle":"புஷ் தோல்வியடைந்தது","localConversationPage.pushModal.forcePush":"புஷ் கட்டாயப்படுத்து","localConversationPage.pushModal.successTitle":"புஷ் முடிந்தது","localConversationPage.pushModal.title":"புஷ் மாற்றங்கள்","localConversationPage.pushModal.tryAgain":"மீண்டும் முயற்சித்திடுக","localConversationPage.pushNoUpstream":"இந்தக் கிளையை புஷ் செய்வதற்கு முன் ஓர் அப்ஸ்ட்ரீமை அமைக்கவும்","localConversationPage.pushNoUpstreamError":"புஷ் தோல்வியுற்றது: அப்ஸ்ட்ரீம் எதுவும் உள்ளமைக்கப்படவில்லை","localConversationPage.pushNothingToPush":"புஷ் செய்ய புதிய கமிட்கள் எதுவுமில்லை","localConversationPage.pushRemoteChangedError":"புஷ் தோல்வியுற்றது: ரிமோட்டில் புதிய கமிட்கள் உள்ளன","localConversationPage.pushRemoteRejectedError":"ரிமோட் மூலம் புஷ் நிராகரிக்கப்பட்டது","localConversationPage.pushStatusMissing":"புஷ் நிலையை ஏற்றுகிறது…","localConversationPage.pushSuccessToast":"புஷ் செய்த மாற்றங்கள்","localConversationPage.viewPullRequestButtonLabel":"PR-ஐக் காட்டு","localConversationPage.viewPullRequestButtonLabel.loading":"இழுத்தல் கோரிக்கையை ஏற்றுகிறது…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# கோப்பு} other {# கோப்புகள்}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# பட்டியல்} other {# பட்டியல்கள்}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# தேடல்} other {# தேடல்கள்}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"ஆராய்கிறது","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"ஆராய்ந்தது","localConversationTurn.exploration.accordion.header.complete.withCounts":"ஆராய்ந்தது {counts}","localConversationTurnStory.showContent":"உள்ளடக்கத்தைக் காட்டு","localConversationTurnStory.streamContent":"உள்ளடக்கத்தை ஸ்ட்ரீம் செய்","localConversationTurnStory.toggleReasoning":"காரணவிளக்கமளித்தலைக் காட்டு","localTaskRow.archiveError":"உரையாடலை ஆவணக் காப்பிட முடியவில்லை","localTaskRow.resumeError":"பணியை மீண்டும் தொடங்க முடியவில்லை","mermaidDiagram.ariaLabel":"மெர்மெய்ட் வரைபடம்","mermaidDiagram.copySource":"மெர்மெய்டைப் பிரதியெடுக்கலாம்","mermaidDiagram.originalCode":"மெர்மெய்ட் மூலக் குறியீடு","notifications.permissions.description":"அறிவிப்பு அனுமதிகள் தேவைப்படும்போது விழிப்பூட்டல்களைக் காட்டு","notifications.permissions.label":"அனுமதி அறிவிப்புகளை இயக்கு","notifications.turnMode.always":"எப்போதும்","notifications.turnMode.description":"முடிந்துவிட்டது என்று Codex உங்களுக்கு எச்சரிக்கை செய்யும்போது அமைக்கவும்","notifications.turnMode.label":"நிறைவு அறிவிப்புகளைத் திருப்புக","notifications.turnMode.off":"ஒருபோதுமில்லை","notifications.turnMode.unfocused":"அன்ஃபோகஸ் செய்யும்போது மட்டும்","patchApprovalRequest.approve":"ஒப்புதல்","patchApprovalRequest.menu.allowAlways":"ஆம், இந்த அமர்வில் மீண்டும் கேட்க வேண்டாம்","patchApprovalRequest.menu.allowForSession":"ஆம், இந்த அமர்வில் மீண்டும் கேட்க வேண்டாம்","patchApprovalRequest.menu.allowOnce":"ஆம்","patchApprovalRequest.prompt":"இந்த மாற்றங்களைச் செய்ய விரும்புகிறீர்களா?","patchApprovalRequest.reject":"இல்லை","patchApprovalRequest.waitingForApproval":"கோப்புகளைத் திருத்த அனுமதிக்காகக் காத்திருக்கிறது","pendingRequest.approvalExec.collapse":"சுருக்கு","pendingRequest.approvalExec.expand":"விரிவாக்கு","pendingRequestStory.toastAnswer":"பதில்: {answer}","pendingRequestStory.toastApprovalTitle":"ஒப்புதல் பதில்","pendingRequestStory.toastFollowupPrompt":"ப்ராம்ப்ட்: {prompt}","pendingRequestStory.toastFollowupTitle":"பின்தொடர்தல் அனுப்பப்பட்டது","pendingRequestStory.toastNoAnswers":"பதில்கள் எதுவும் வழங்கப்படவில்லை","pendingRequestStory.toastQuestion":"கேள்வி: {question}","pendingRequestStory.toastUnknownDecision":"அறியப்படாத","pendingRequestStory.toastUserInputTitle":"சமர்ப்பிக்கப்பட்ட பதில்கள்","quickAction.request.codeReview.branches.new":"{to}க்கு எதிராக {from}-இல் உள்ள மாற்றங்களை மீளாய்வு செய்திடுங்கள்","quickAction.request.codeReview.uncommitted.new":"எனது உறுதியளிக்கப்படாத மாற்றங்களை மீளாய்வு செய்யவும்","reasoningItem.thinking":"யோசிக்கிறது","reasoningItem.thought":"யோசனை","reasoningItem.thoughtWithElapsed":"{elapsed}க்கான யோசனை","recentConversations.title":"சமீபத்திய உரையாடல்கள்","recentTasks.worktreeInitFailedTitle":"பணிப்பிரிவுத் துவக்கம் தோல்வியடைந்தது","recentTasks.worktreeSettingUpTitle":"பணிப்பிரிவை அமைத்தல்","requestInputPanel.continue":"தொடர்க","requestInputPanel.dismiss":"நிராகரிக்கவும்","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"இங்கே டைப் செய்யவும்","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"இல்லை, வித்தியாசமாக என்ன செய்ய வேண்டும் என்று Codex-இடம் சொல்லவும்","requestInputPanel.selectedBadge":"தேர்ந்தெடுக்கப்பட்டது","requestInputPanel.skip":"தவிர்த்திடு","requestInputPanel.submit":"சமர்ப்பிக்குக","review.commit.ariaLabel.includeUnstaged":"அன்ஸ்டேஜ் செய்ததை உள்ளடக்கும்","review.commit.buttonLabel":"கமிட் செய்","review.commit.disabled.committing":"கமிட் செய்கிறது…","review.commit.disabled.loadingDiff":"diff-ஐ ஏற்றுகிறது…","review.commit.disabled.missingContext":"ஒரு கமிட் செய்தியை உருவாக்க சில சூழலைச் சேர்க்கவும்","review.commit.disabled.noChanges":"கமிட் செய்ய எந்த மாற்றங்களும் இல்லை","review.commit.disabled.noSelection":"கமிட் செய்ய மாற்றங்களைத் தேர்ந்தெடுக்கவும்","review.commit.disabled.unavailable":"கமிட் தற்போது கிடைக்கவில்லை","review.commit.error":"மாற்றங்களைக் கமிட் செய்ய முடியவில்லை","review.commit.form.changesToBeCommitted":"மாற்றங்கள்","review.commit.form.commitTo":"கிளை","review.commit.form.commitTo.none":"-","review.commit.form.continue":"தொடர்க","review.commit.form.title":"உங்கள் மாற்றங்களை கமிட் செய்யவும்","review.commit.generate.emptyResponse":"கமிட் செய்தியை உருவாக்க முடியவில்லை","review.commit.generate.failed":"கமிட் செய்தியை உருவாக்குவது தோல்வியுற்றது: {error}","review.commit.generate.missingPrompt":"ஒரு கமிட் செய்தியை உருவாக்க சில சூழலைச் சேர்க்கவும்.","review.commit.includeUnstaged":"அன்ஸ்டேஜ் செய்ததை உள்ளடக்கும்","review.commit.loading.description":"காத்திருங்கள், இதற்கு சில நிமிடங்கள் ஆகலாம்…","review.commit.loading.step.commit.done":"கமிட் செய்த மாற்றங்கள்","review.commit.loading.step.commit.pending":"மாற்றங்களைச் செய்கிறது","review.commit.loading.step.createPr.done":"இழுவைக் கோரிக்கை உருவாக்கப்பட்டது","review.commit.loading.step.createPr.pending":"இழுவைக் கோரிக்கையை உருவாக்குகிறது","review.commit.loading.step.push.done":"கிளை {branch}க்கு புஷ் செய்யப்பட்டது","review.commit.loading.step.push.pending":"கிளை {branch}க்கு புஷ் செய்கிறது","review.commit.loading.title.commit":"மாற்றங்களைச் செய்கிறது","review.commit.loading.title.createPr":"PR-ஐ உருவாக்குகிறது","review.commit.loading.title.push":"மாற்றங்களை புஷ் செய்கிறது","review.commit.messageLabel":"செய்தியை கமிட் செய்","review.commit.messagePlaceholder":"ஒரு கமிட் செய்தியைத் தானாக உருவாக்க காலியாக விடவும்","review.commit.nextSteps":"அடுத்த படிகள்","review.commit.nextSteps.commit":"கமிட் செய்","review.commit.nextSteps.commitAndCreate":"கமிட் செய்து, PR-ஐ உருவாக்கு","review.commit.nextSteps.commitAndPush":"கமிட் மற்றும் புஷ் செய்","review.commit.nextSteps.prRequiresGh":"GitHub CLI தேவை: {command}","review.commit.rows.changes":"மாற்றங்கள்","review.commit.rows.commitCount":"{count, plural, one {# கமிட்} other {# கமிட்கள்}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# கமிட்} other {# கமிட்கள்}} மற்றும் {stats}","review.commit.rows.fileCount":"{count, plural, one {# file} other {# கோப்புகள்}}","review.commit.state.error.body":"கமிட் செய்யும்போது ஏதோ தவறு ஏற்பட்டது. உங்கள் git நிலையைச் சரிபார்த்து மீண்டும் முயற்சிக்கவும்.","review.commit.state.error.title":"கமிட் தோல்வியடைந்தது","review.commit.state.success.title":"மாற்றங்கள் கமிட் செய்யப்பட்டன","review.commit.untracked.loadingStats":"கண்காணிக்கப்படாத வேறுபாட்டுப் புள்ளிவிவரங்களை ஏற்றுகிறது…","reviewFindingAttachments.count":"{count, plural, one {# கண்டுபிடிப்பு} other {# கண்டுபிடிப்புகள்}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"ஏஜன்ட் நடத்தையைத் தனிப்பயனாக்க உங்கள் உள்ளமைவைத் திருத்தவும்","settings.agent.configuration.configToml.docs":"ஆவணங்கள்","settings.agent.configuration.configToml.restartNote":"மாற்றங்களைப் பிரயோகிக்க, திருத்திய பிறகு Codex-ஐ மறுதொடக்கம் செய்யவும்","settings.agent.configuration.subtitle":"இந்த அமைப்புகள், Codex பயன்படுத்தப்படும் எந்த இடத்திற்கும் பொருந்தும்","settings.automations.banner.danger":"தானியக்கங்கள் உங்கள் இயல்புநிலை சாண்ட்பாக்ஸ் அமைப்புகளுடன் இயங்கும், அவை தற்போது முழு அணுகலுக்கு அமைக்கப்பட்டுள்ளன. முழு அணுகலுடன் பின்னணி ஆட்டோமேஷனை இயக்குவது அதிக அபாயத்தைக் கொண்டுள்ளது, ஏனெனில் Codex, கோப்புகளை மாற்றலாம், கட்டளைகளை இயக்கலாம் மற்றும் நெட்வொர்க்கை கேட்காமலேயே அணுகலாம். சாண்ட்பாக்ஸ் அமைப்புகளை பணியிட எழுத்துக்கு புதுப்பித்து, ஏஜன்ட் முழு அணுகலுடன் எந்த கட்டளைகளை இயக்க முடியும் என்பதைத் தேர்ந்தெடுத்து வரையறுக்க <rulesDocsLink>விதிகளைப்</rulesDocsLink> பயன்படுத்துவதைக் கருத்தில் கொள்ளுங்கள்.","settings.automations.banner.defaultHowTo.default":"உங்கள் இயல்புநிலை சாண்ட்பாக்ஸ் அமைப்புகளுடன் ஆட்டோமேஷன்கள் இயங்கும். பணியிடத்திற்கு வெளியே கோப்புகளை மாற்றுதல், நெட்வொர்க்கை அணுகுதல் அல்லது உங்கள் கம்ப்யூட்டரியில் உள்ள செயலிகளுடன் பணிபுரிதல் போன்ற தேவைகள் இருந்தால் கருவி அழைப்புகள் தோல்வியடையும். <rulesDocsLink>விதிகளைப்</rulesDocsLink> பயன்படுத்தி சாண்ட்பாக்ஸுக்கு வெளியே இயக்க கட்டளைகளைத் தேர்ந்தெடுத்து அனுமதிப் பட்டியலில் சேர்க்கலாம்.","settings.automations.banner.defaultHowTo.readOnly":"தானியங்குகள் உங்கள் இயல்புநிலை சாண்ட்பாக்ஸ் அமைப்புகளுடன் இயங்கும், அவை படிக்க-மட்டும் என அமைக்கப்பட்டுள்ளன. கோப்புகளை மாற்றுதல், நெட்வொர்க்கை அணுகுதல் அல்லது உங்கள் கம்ப்யூட்டரில் உள்ள செயலிகளுடன் பணிபுரிதல் போன்ற தேவைகள் இருந்தால் கருவி அழைப்புகள் தோல்வியடையும். பணியிட எழுதுதலுக்கு சாண்ட்பாக்ஸ் அமைப்புகளைப் புதுப்பிப்பதைப் பரிசீலிக்கவும்.","settings.automations.cancel":"ரத்துசெய்","settings.automations.create":"உருவாக்கு","settings.automations.cwdEmpty":"திட்டக் கோப்புறைகள் எதுவும் கிடைக்கவில்லை","settings.automations.cwdLabel":"திட்டங்கள்","settings.automations.cwdPlaceholder":"ஒரு கோப்புறையைத் தேர்வுசெய்க","settings.automations.cwdSubtitle":"ஒரு குறிப்பிட்ட கிளையில் ஆட்டோமேஷன் இயங்க விரும்பினால், அதை உங்கள் ப்ராம்ப்ட்டில் குறிப்பிடலாம்.","settings.automations.delete":"நீக்கவும்","settings.automations.dialog.editTitle":"ஆட்டோமேஷனைத் திருத்தவும்","settings.automations.dialog.newTitle":"புதிய ஆட்டோமேஷன்","settings.automations.dialog.subtitle":"பின்னணியில் தொடர்ச்சியான பணிகளை தானியங்குபடுத்துங்கள். Codex கண்டுபிடிப்புகளை இன்பாக்ஸில் சேர்க்கிறது, அல்லது புகாரளிக்க எதுவும் இல்லை என்றால் தானாகவே பணியை காப்பகப்படுத்துகிறது. <learnMoreLink>மேலும் அறிக</learnMoreLink>","settings.automations.dialog.title":"ஆட்டோமேஷனை உருவாக்கவும்","settings.automations.executionCopy.git":"அர்ப்பணிக்கப்பட்ட ஒர்க்ட்ரீக்களில் பின்னணியில் ஆட்டோமேஷன்கள் இயங்கும்.","settings.automations.executionCopy.nonGit":"பதிப்பு-கட்டுப்படுத்தப்படாத திட்டங்களில் ஆட்டோமேஷன்கள் நேரடியாக திட்ட கோப்பகத்தில் இயங்கும். பின்னணி ஒர்க்ட்ரீகளில் இயங்குவதைச் செயல்படுத்த Git-ஐப் பயன்படுத்துவதைப் பரிசீலிக்கவும்.","settings.automations.executionEnvironment.local":"அகம்","settings.automations.executionEnvironment.worktree":"பணிப்பிரிவு","settings.automations.loading":"ஏற்றுகிறது…","settings.automations.nameLabel":"பெயர்","settings.automations.namePlaceholder":"சென்ட்ரி சிக்கல்களைச் சரிபார்க்கவும்","settings.automations.pause":"இடைநிறுத்து","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"$Sentry-இல் செயலிழப்புகளைக் காண்க","settings.automations.resume":"மீள்தொடங்கு","settings.automations.rruleSummaryFallback":"தனிப்பயன் அட்டவணை","settings.automations.runNow":"சோதனை","settings.automations.save":"சேமிக்கவும்","settings.automations.scheduleBadge.dayCount":"{count}நா","settings.automations.scheduleBadge.interval":"{count}ம","settings.automations.scheduleBadge.weekdays":"வார நாட்கள்","settings.automations.scheduleBadge.weekends":"வார இறுதிகள்","settings.automations.scheduleHeader":"அட்டவணை","settings.automations.scheduleHours":"மணிநேரம்","settings.automations.scheduleLabel":"ஒவ்வொன்றிலும் இயக்கு","settings.automations.scheduleMode.daily":"தினசரி","settings.automations.scheduleMode.interval":"இடைவெளி","settings.automations.scheduleModeLabel":"அட்டவணை வகை","settings.automations.scheduleSummary.daily":"தினமும் {time}க்கு","settings.automations.scheduleSummary.interval":"ஒவ்வொரு {count}ம","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# day} other {# days}}","settings.automations.scheduleSummary.intervalDays":"{interval}, {days}-இல்","settings.automations.scheduleSummary.intervalHourly":"மணிதோறும்","settings.automations.scheduleSummary.singleDay":"{day} {time}க்கு","settings.automations.scheduleSummary.weekdays":"{time}-இல் வார நாட்களில்","settings.automations.scheduleSummary.weekdaysLabel":"வார நாட்கள்","settings.automations.scheduleSummary.weekends":"{time}-இல் வார இறுதிகளில்","settings.automations.scheduleSummary.weekendsLabel":"வார இறுதிகள்","settings.automations.scheduleSummary.weekly":"{days} {time}க்கு","settings.automations.scheduleWeekdays":"ஆன்","settings.automations.weekdayState.excluded":"விலக்கப்பட்டது","settings.automations.weekdayState.included":"சேர்க்கப்பட்டது","settings.conversationDetail.steps":"படிகள்","settings.conversationDetail.steps.description":"கட்டளைகளையும் வெளியீடுகளையும் மறைக்கலாம்","settings.conversationDetail.stepsWithCommands":"கோடிங் கட்டளைகளுடனான படிகள்","settings.conversationDetail.stepsWithCommands.description":"கட்டளைகளைக் காட்டு, வெளியீட்டைச் சுருக்கு","settings.conversationDetail.stepsWithOutput":"கோடிங் வெளியீடுடனான படிகள்","settings.conversationDetail.stepsWithOutput.description":"கட்டளைகளைக் காட்டு, வெளியீட்டை விரிவாக்கு","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"காப்பகப்படுத்தப்பட்ட அரட்டைகள் இல்லை","settings.dataControls.archivedChats.error":"காப்பகப்படுத்திய அரட்டைகளை ஏற்ற முடியவில்லை.","settings.dataControls.archivedChats.loading":"காப்பகப்படுத்திய அரட்டைகளை ஏற்றுகிறது…","settings.dataControls.archivedChats.unarchive":"காப்பகத்தை அகற்றவும்","settings.dataControls.archivedChats.unarchiveError":"அரட்டையை காப்பகத்திலிருந்து மீட்டெடுக்க முடியவில்லை","settings.dataControls.archivedChats.unarchiveSuccess":"காப்பகப்படுத்தப்படாத தொடர். <viewNowLink>இப்போது காண்க</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"காப்பகப்படுத்தப்படாத தொடர்.","settings.dataControls.archivedChats.untitled":"பெயரிடப்படாத அரட்டை","settings.dataControls.archivedChats.viewNow":"இப்போது காண்க","settings.editRow.headerPlaceholder":"விசை","settings.editRow.removeEntry":"உள்ளீட்டை அகற்று","settings.editRow.valuePlaceholder":"மதிப்பு","settings.general.appearance":"தோற்றம்","settings.general.appearance.codeFont":"கோடிங்கின் எழுத்துரு","settings.general.appearance.codeFont.description":"அரட்டைகள் மற்றும் வேறுபாடுகளுக்கு இடையில் கோடிங்கிற்குப் பயன்படுத்தப்படும் எழுத்துருவையும் அளவையும் சரிசெய்யலாம்","settings.general.appearance.codeFontFamily":"குறியீட்டு எழுத்துருக் குடும்பம்","settings.general.appearance.codeFontSize":"கோடிங்கின் எழுத்துரு அளவு","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"சிஸ்டம் ஒளிஊடுருவலை விட சாளரங்களை திடமான பின்னணியைப் பயன்படுத்தச் செய்யலாம்.","settings.general.appearance.opaqueWindows.label":"ஒளிபுகா சாளர பின்னணியைப் பயன்படுத்தவும்","settings.general.appearance.sansFontFamily":"Sans எழுத்துரு குடும்பம்","settings.general.appearance.sansFontFamily.description":"Codex UI-க்குப் பயன்படுத்தப்படும் எழுத்துருவைச் சரிசெய்யவும்.","settings.general.appearance.sansFontSize":"Sans எழுத்துரு அளவு","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark முதல் திருப்பத்தை இயக்கும்போது முழு-சாளர கொண்டாட்ட விளைவுகளைக் காட்டு","settings.general.appearance.sparkCelebrationEffects.label":"கொண்டாட்டத்தைத் தூண்டும் விளைவுகள்","settings.general.appearance.theme":"கருப்பொருள்","settings.general.appearance.theme.dark":"இருண்ட","settings.general.appearance.theme.description":"ஒளி, இருள் அல்லது உங்கள் சிஸ்டத்துடன் பொருந்துவதைப் பயன்படுத்தவும்","settings.general.appearance.theme.light":"ஒளி","settings.general.appearance.theme.system":"அமைப்பு","settings.general.appearance.usePointerCursors.description":"ஊடாடல் கூறுகளின் மீது வட்டமிடும்போது கர்சரை ஒரு பாயிண்டராக மாற்றலாம்","settings.general.appearance.usePointerCursors.label":"பாயிண்டர் கர்சர்களைப் பயன்படுத்தவும்","settings.general.enterBehavior.description":"இயக்கப்பட்டிருக்கும் போது, பல வரி ப்ராம்ப்ட்களை அனுப்ப {modifierSymbol} + enter தேவை.","settings.general.enterBehavior.label":"நீண்ட ப்ராம்ப்ட்களை அனுப்ப {modifierSymbol} + enter தேவை","settings.general.experimentalFeatures":"பரிசோதனை அம்சங்கள் (பீட்டா)","settings.general.experimentalFeatures.empty":"பீட்டா பரிசோதனை அம்சங்கள் எதுவும் கிடைக்கவில்லை.","settings.general.experimentalFeatures.loading":"பரிசோதனை அம்சங்களை ஏற்றுகிறது…","settings.general.experimentalFeatures.restartNote":"பரிசோதனை அம்ச மாற்றங்களைப் பிரயோகிக்க Codex-ஐ மறுதொடக்கம் செய்யுங்கள்.","settings.general.experimentalFeatures.toggle":"{featureName}-ஐ நிலைமாற்றும்","settings.general.followUpQueueMode.description":"Codex இயங்கும்போது பின்தொடர்தல்களை வரிசைப்படுத்தவும் அல்லது தற்போதைய இயக்கத்தை இயக்கவும். ஒரு செய்திக்கு எதிர்மாறாகச் செய்ய {invertFollowUpShortcutLabel}-ஐ அழுத்தவும்.","settings.general.followUpQueueMode.interrupt":"திசைமாற்று","settings.general.followUpQueueMode.label":"பின்தொடர்தல் நடத்தை","settings.general.followUpQueueMode.queue":"வரிசையில் சேர்","settings.general.notifications":"அறிவிப்புகள்","settings.general.power.preventSleepWhileRunning.description":"Codex ஒரு தொடரை இயக்கும்போது உங்கள் கம்ப்யூட்டரை விழித்திருக்க வைக்கவும்.","settings.general.power.preventSleepWhileRunning.label":"இயங்கும்போது உறங்குவதைத் தடுக்கவும்","settings.git.branchPrefix.ariaLabel":"கிளை முன்னொட்டு","settings.git.branchPrefix.description":"Codex-இல் புதிய கிளைகளை உருவாக்கும்போது பயன்படுத்தப்படும் முன்னொட்டு","settings.git.branchPrefix.label":"கிளை முன்னொட்டு","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"கிளை முன்னொட்டைச் சேமிக்க முடியவில்லை","settings.git.branchPrefix.save.success":"கிளை முன்னொட்டு சேமிக்கப்பட்டது","settings.git.commitInstructions.ariaLabel":"கமிட் அறிவுறுத்தல்கள்","settings.git.commitInstructions.description":"செய்தி உருவாக்க ப்ராம்ப்ட்களை கமிட் செய்வதற்குச் சேர்க்கப்பட்டது","settings.git.commitInstructions.label":"கமிட் அறிவுறுத்தல்கள்","settings.git.commitInstructions.placeholder":"கமிட் செய்தி வழிகாட்டுதலைச் சேர்க்கவும்…","settings.git.commitInstructions.save":"சேமிக்கவும்","settings.git.commitInstructions.save.error":"கமிட் அறிவுறுத்தல்களைச் சேமிக்க முடியவில்லை","settings.git.commitInstructions.save.success":"கமிட் அறிவுறுத்தல்கள் சேமிக்கப்பட்டன","settings.git.forcePush.ariaLabel":"எப்போதும் புஷ் கட்டாயம்","settings.git.forcePush.description":"Codex -இலிருந்து புஷ் செய்யும்போது --force-with-lease ஐப் பயன்படுத்தவும்","settings.git.forcePush.label":"எப்போதும் புஷ் கட்டாயம்","settings.git.forcePush.save.disabled":"எப்போதும் புஷ் கட்டாயம் முடக்கப்பட்டது","settings.git.forcePush.save.enabled":"எப்போதும் புஷ் கட்டாயம் இயக்கப்பட்டது","settings.git.forcePush.save.error":"புஷ் கட்டாயம் அமைப்பைச் சேமிக்க முடியவில்லை","settings.git.prInstructions.ariaLabel":"இழுத்தல் கோரிக்கை அறிவுறுத்தல்கள்","settings.git.prInstructions.description":"Codex-ஆல் உருவாக்கப்பட்ட இழுத்தல் கோரிக்கை அமைப்புகளில் இணைக்கப்பட்டது.","settings.git.prInstructions.label":"இழுத்தல் கோரிக்கை அறிவுறுத்தல்கள்","settings.git.prInstructions.placeholder":"இழுத்தல் கோரிக்கை வழிகாட்டுதலைச் சேர்க்கவும்…","settings.git.prInstructions.save":"சேமிக்கவும்","settings.git.prInstructions.save.error":"இழுத்தல் கோரிக்கை அறிவுறுத்தல்களைச் சேமிக்க முடியவில்லை.","settings.git.prInstructions.save.success":"சேமிக்கப்பட்ட இழுத்தல் கோரிக்கை அறிவுறுத்தல்கள்","settings.ide.defaultOpenTarget.description":"கோப்புகள் மற்றும் கோப்புறைகள் இயல்புநிலையாகத் திறக்கும் இடம்","settings.ide.defaultOpenTarget.label":"இயல்புநிலை திறப்பு இலக்கு","settings.ide.defaultOpenTarget.placeholder":"இலக்குகள் எதுவும் கிடைக்கவில்லை","settings.ide.language.auto":"தானாக கண்டறிதல்","settings.ide.language.autoOption":"தானாக கண்டறிதல்","settings.ide.language.description":"செயலியின் UIக்கான மொழி","settings.ide.language.label":"மொழி","settings.ide.language.search":"மொழிகளைத் தேடுக","settings.layout.actionButton":"நீட்டிப்பை மீண்டும் தொடங்கு","settings.layout.actionTitle":"செயலுடன் கூடிய அமைப்புகள்","settings.layout.fullWidthTitle":"அமைப்புகள் (முழு அகலம்)","settings.layout.title":"அமைப்புகள்","settings.localEnvironments.actions.add":"செயலைச் சேர்","settings.localEnvironments.actions.add.description":"கருவிப்பட்டியிலிருந்து இயக்க ஒரு புதிய கட்டளையை உருவாக்கவும்.","settings.localEnvironments.actions.add.save":"சேமிக்கவும்","settings.localEnvironments.actions.empty":"லோக்கல் கருவிப்பட்டியிலிருந்து கட்டளைகளை இயக்க ஒரு செயலைச் சேர்க்கவும்.","settings.localEnvironments.actions.icon.debug":"பிழைத்திருத்தம்","settings.localEnvironments.actions.icon.run":"இயக்கு","settings.localEnvironments.actions.icon.test":"சோதனை","settings.localEnvironments.actions.icon.tool":"கருவி","settings.localEnvironments.actions.item.button.delete":"நீக்கவும்","settings.localEnvironments.actions.item.command":"நடவடிக்கை ஸ்கிரிப்ட்","settings.localEnvironments.actions.item.name":"பெயர்","settings.localEnvironments.actions.item.platforms":"Platforms","settings.localEnvironments.actions.item.platforms.help":"ஒரு குறிப்பிட்ட OS -இல் மட்டுமே இயங்கும்.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"பிளாட்ஃபார்ம் தேர்வு","settings.localEnvironments.actions.item.platforms.specific":"பிளாட்ஃபார்ம் சார்ந்தது","settings.localEnvironments.actions.item.platforms.windows":"வின்டோஸ்","settings.localEnvironments.actions.item.tooltip.delete":"நீக்கவும்","settings.localEnvironments.actions.title":"நடவடிக்கைகள்","settings.localEnvironments.breadcrumb.back":"பின் செல்க","settings.localEnvironments.breadcrumb.edit":"திருத்து","settings.localEnvironments.breadcrumb.root":"சூழல்கள்","settings.localEnvironments.environment.actions.description":"இந்த நடவடிக்கைகள் எந்தக் கட்டளையையும் இயக்க முடியும், மேலும் அவை தலைப்பில் காட்டப்படும்.","settings.localEnvironments.environment.actionsLabel":"நடவடிக்கைகள்","settings.localEnvironments.environment.create":"லோக்கல் சூழலை உருவாக்கு","settings.localEnvironments.environment.defaultName":"லோக்கல்","settings.localEnvironments.environment.edit":"லோக்கல் சூழலைத் திருத்து","settings.localEnvironments.environment.empty":"இந்த ஒர்க்ட்ரீக்கு இதுவரை எந்த லோக்கல் சூழலும் உள்ளமைக்கப்படவில்லை.","settings.localEnvironments.environment.name":"பெயர்","settings.localEnvironments.environment.setup":"ஸ்கிரிப்டை அமைக்கவும்","settings.localEnvironments.environment.setup.description":"இந்த ஸ்கிரிப்ட், ஒர்க்ட்ரீ உருவாக்கத்தில் இயங்கும்.","settings.localEnvironments.environment.setup.hint":"திட்ட மூலத்தில் இயங்குகிறது.","settings.localEnvironments.environment.setup.platformOverrides":"பிளாட்ஃபார்ம் மேலெழுதப்படுகிறது","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} அமைவு ஸ்கிரிப்டைச் சேர்","settings.localEnvironments.environment.setup.platformOverrides.description":"குறிப்பிட்ட OSகளுக்கான இயல்புநிலை ஸ்கிரிப்டை மேலெழுதும்.","settings.localEnvironments.environment.setup.platformOverrides.remove":"அகற்றவும்","settings.localEnvironments.environment.setup.script":"ஸ்கிரிப்ட்","settings.localEnvironments.environment.title":"சூழல் விவரங்கள்","settings.localEnvironments.file.missing":"இந்தக் கோப்பை முதல் முறையாக உருவாக்க சேமிக்கவும்.","settings.localEnvironments.file.parseError":"ஏற்கனவே உள்ள கோப்பைப் பாகுபடுத்த முடியவில்லை. சேமிப்பது அதை மேலெழுதும். ({error})","settings.localEnvironments.file.path":"கோப்பு: {path}","settings.localEnvironments.file.readError":"லோக்கல் சூழல் தரவை ஏற்றுவதில் தோல்வி. ({error})","settings.localEnvironments.file.title":"லோக்கல் சூழல் கோப்பு","settings.localEnvironments.loading.body":"உங்கள் திட்ட உள்ளமைவைப் பெறுகிறது.","settings.localEnvironments.loading.title":"லோக்கல் சூழல்களை ஏற்றுகிறது","settings.localEnvironments.preview.devOnly":"(DEV மட்டும்)","settings.localEnvironments.preview.save":"சேமிக்கவும்","settings.localEnvironments.preview.saveError":"கோப்பைச் சேமிப்பது தோல்வியுற்றது. ({error})","settings.localEnvironments.preview.title":"முன்னோட்டம்","settings.localEnvironments.save.disabled.name":"சேமிக்க ஒரு சூழல் பெயரைச் சேர்க்கவும்.","settings.localEnvironments.save.disabled.noChanges":"சேமிக்க எந்த மாற்றங்களும் இல்லை.","settings.localEnvironments.save.disabled.saving":"சேமிக்கிறது…","settings.localEnvironments.save.success":"லோக்கல் சூழல் சேமிக்கப்பட்டது","settings.localEnvironments.unavailable.body":"இந்தத் திட்டத்திற்கான லோக்கல் சூழல் அமைப்புகளை எங்களால் ஏற்ற முடியவில்லை.","settings.localEnvironments.unavailable.title":"லோக்கல் சூழல்கள் கிடைக்கவில்லை","settings.localEnvironments.workspace.add":"திட்டத்தைச் சேர்","settings.localEnvironments.workspace.title":"திட்டம்","settings.localEnvironments.workspaceSelect.addLabel":"சூழலைச் சேர்க்க","settings.localEnvironments.workspaceSelect.description":"லோக்கல் சூழல்கள் Codexக்கு ஒரு திட்டத்திற்கான ஒர்க்ட்ரீக்களை எப்படி அமைப்பது என்று கூறுகின்றன. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"இன்னும் திட்டங்கள் இல்லை. லோக்கல் சூழல்களை உள்ளமைக்க ஒன்றைச் சேர்க்கவும்.","settings.localEnvironments.workspaceSelect.errorLabel":"சூழலுக்கு கவனம் தேவை","settings.localEnvironments.workspaceSelect.learnMore":"மேலும் அறிக","settings.localEnvironments.workspaceSelect.listLabel":"கிடைக்கும் திட்டங்கள்","settings.localEnvironments.workspaceSelect.loading":"திட்டங்களை ஏற்றுகிறது.","settings.localEnvironments.workspaceSelect.loadingLabel":"சூழலை ஏற்றுகிறது","settings.localEnvironments.workspaceSelect.title":"ஒரு திட்டத்தைத் தேர்ந்தெடுக்கவும்","settings.localEnvironments.workspaceSelect.viewAction":"காட்டு","settings.mcp.addServer":"சேவையகத்தைச் சேர்","settings.mcp.app.configure":"கட்டமை","settings.mcp.app.connect":"இணை","settings.mcp.apps.refresh":"புதுப்பி","settings.mcp.detail.addArgument":"ஆர்க்யுமெண்ட்டைச் சேர்","settings.mcp.detail.addEnvVar":"சூழல் வேரியபிளைச் சேர்","settings.mcp.detail.addEnvVarPassthrough":"வேரியபிளைச் சேர்","settings.mcp.detail.args":"ஆர்க்யுமெண்ட்கள்","settings.mcp.detail.back":"பின் செல்க","settings.mcp.detail.command":"தொடங்குவதற்கான கமாண்ட்","settings.mcp.detail.cwd":"செயல்படும் கோப்பகம்","settings.mcp.detail.docs":"MCP ஆவணத்தைத் திறக்கும்","settings.mcp.detail.docs.link":"ஆவணங்கள்","settings.mcp.detail.envVarPassthrough":"சூழல் வேரியபிள் பாஸ்த்ரூ","settings.mcp.detail.envVars":"சூழல் மாறிகள்","settings.mcp.detail.http.addEnvHeader":"வேரியபிளைச் சேர்","settings.mcp.detail.http.addHeader":"தலைப்பைச் சேர்","settings.mcp.detail.http.bearerToken":"Bearer token env var","settings.mcp.detail.http.envHeaders":"சூழல் வேரியபிள்களின் தலைப்புகள்","settings.mcp.detail.http.headers":"தலைப்புகள்","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"பெயர்","settings.mcp.detail.save":"சேமிக்கவும்","settings.mcp.detail.switchTransportNotice":"நீங்கள் MCP சர்வர் வகையை மாற்ற விரும்பினால், முதலில் நிறுவல் நீக்குங்கள்.","settings.mcp.detail.titleExisting":"{name} MCP-ஐப் புதுப்பிக்கவும்","settings.mcp.detail.titleNew":"தனிப்பயன் MCP உடன் இணைக்கவும்","settings.mcp.detail.transport.http":"ஸ்ட்ரீம் செய்யத்தக்க HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"நிறுவல் நீக்கு","settings.mcp.empty":"தனிப்பயன் MCP சேவையகங்கள் எதுவும் இணைக்கப்படவில்லை","settings.mcp.myServers":"தனிப்பயன் சேவையகங்கள்","settings.mcp.partnerServer.description.figma":"முழு Figma சூழலைக் கொண்டு வருவதன் மூலம் சிறந்த கோடிங்கை உருவாக்குங்கள்","settings.mcp.partnerServer.description.github":"பணிப்பாய்வுகளை தானியங்குபடுத்தவும் தரவைப் பிரித்தெடுக்கவும் GitHub APIகளுடன் ஒருங்கிணைக்கலாம்","settings.mcp.partnerServer.description.linear":"Linear-இன் சிக்கல் கண்காணிப்பு மற்றும் திட்ட மேலாண்மையுடன் ஒருங்கிணைக்கலாம்","settings.mcp.partnerServer.description.notion":"ஆவணங்களைப் படிக்கலாம், பக்கங்களைப் புதுப்பிக்கலாம், பணிகளை நிர்வகிக்கலாம்","settings.mcp.partnerServer.description.playwright":"வடிவமைப்பு மற்றும் சோதனை UI ஐ செயல்படுத்த உலாவி ஆட்டோமேஷனை ஒருங்கிணைக்கலாம்","settings.mcp.partnerServer.install":"நிறுவுக","settings.mcp.partnerServer.installAndAuthenticate":"நிறுவி அங்கீகரிக்கவும்","settings.mcp.partnerServer.logoAlt":"{label} லோகோ","settings.mcp.partnerServer.manage":"நிர்வகி","settings.mcp.partnerServer.vendor":"{vendor} மூலம்","settings.mcp.recommendedServers":"பரிந்துரைக்கப்படும் சேவையகங்கள்","settings.mcp.restartApp":"மீண்டும் தொடங்கவும்","settings.mcp.restartExtension":"நீட்டிப்பை மீண்டும் தொடங்கவும்","settings.mcp.server.enable":"செயல்படுத்து","settings.mcp.server.login":"அங்கீகரிக்கவும்","settings.mcp.server.settings":"அமைப்புகள்","settings.multiselect.createOption":'"{value}" உருவாக்கு',"settings.multiselect.removeOption":"அகற்றவும்","settings.nav.account":"கணக்கு","settings.nav.agent":"கட்டமைப்பு","settings.nav.ariaLabel":"அமைப்புகள்","settings.nav.back":"செயலிக்குத் திரும்புக","settings.nav.data-controls":"காப்பகப்படுத்திய தொடர்கள்","settings.nav.environments":"கிளவுட் சூழல்கள்","settings.nav.externalTooltip":"[alpha] உலாவியில் திறக்கும்","settings.nav.general-settings":"பொது","settings.nav.git-settings":"Git","settings.nav.local-environments":"சூழல்கள்","settings.nav.mcp-settings":"MCP சேவையகங்கள்","settings.nav.notImplemented":"[alpha] ஆல்பாவில் கிடைக்கவில்லை","settings.nav.personalization":"தனிப்பயனாக்கம்","settings.nav.skills-settings":"திறன்கள்","settings.nav.usage-analytics":"பயன்பாடு & பகுப்பாய்வு","settings.nav.worktrees":"ஒர்க்ட்ரீகள்","settings.openSourceLicenses.back":"பின் செல்க","settings.openSourceLicenses.loading":"ஏற்றுகிறது…","settings.openSourceLicenses.missing":"மூன்றாம் தரப்பு அறிவிப்புகள் எதுவும் கிடைக்கவில்லை.","settings.openSourceLicenses.notSupported":"இந்த ஹோஸ்டில் கிடைக்கவில்லை.","settings.openSourceLicenses.rowDescription":"தொகுக்கப்பட்ட சார்புகளுக்கான மூன்றாம் தரப்பு அறிவிப்புகள்","settings.openSourceLicenses.rowLabel":"திறந்த மூல உரிமங்கள்","settings.openSourceLicenses.subtitle":"இந்தச் செயலியில் சேர்க்கப்பட்டுள்ள சார்புநிலைகளுக்கான மூன்றாம் தரப்பு அறிவிப்புகள்","settings.openSourceLicenses.title":"திறந்த மூல உரிமங்கள்","settings.openSourceLicenses.view":"காட்டு","settings.personalization.agents.description":"உங்களுக்கு ஏற்றவாறு Codex-ஐ மாற்றியமைக்கும் வழிமுறைகளைத் திருத்தவும். {learnMore}","settings.personalization.agents.learnMore":"மேலும் அறிக","settings.personalization.agents.loadError":"agents.md-ஐ ஏற்ற முடியவில்லை.","settings.personalization.agents.loading":"agents.md -ஐ ஏற்றுகிறது…","settings.personalization.agents.placeholder":"உங்கள் வழமையான அறிவுறுத்தல்களைச் சேர்க்கவும்…","settings.personalization.agents.retry":"மீண்டும் முயற்சிக்கவும்","settings.personalization.agents.save":"சேமிக்கவும்","settings.personalization.agents.save.error":"agents.md -ஐச் சேமிக்க முடியவில்லை","settings.personalization.agents.save.success":"சேமிக்கப்பட்ட agents.md","settings.personalization.agents.title":"தனிப்பயன் அறிவுறுத்தல்கள்","settings.personalization.personality.description":"Codex பதில்களுக்கு இயல்புநிலை தொனியைத் தேர்வுசெய்யலாம்","settings.personalization.personality.label":"ஆளுமை","settings.sample.contentBody":"உங்கள் அமைப்புகள் பேனல்களை சீரான இடைவெளியுடன் உருவாக்க இந்த அமைப்பைப் பயன்படுத்தவும்.","settings.sample.contentTitle":"மாதிரி உள்ளடக்கத் தொகுதி","settings.section.account":"கணக்கு","settings.section.agent":"கட்டமைப்பு","settings.section.data-controls":"காப்பகப்படுத்திய தொடர்கள்","settings.section.environments":"கிளவுட் சூழல்கள்","settings.section.external":"ஆல்பாவின்போது உங்கள் உலாவியில் திறக்கும்","settings.section.general-settings":"பொது","settings.section.git-settings":"Git","settings.section.local-environments":"சூழல்கள்","settings.section.mcp-settings":"MCP சேவையகங்கள்","settings.section.mcp-settings.docs":"ஆவணங்கள்","settings.section.mcp-settings.subtitle":"வெளிப்புற கருவிகள் மற்றும் தரவு மூலங்களை இணைக்கவும்.","settings.section.personalization":"தனிப்பயனாக்கம்","settings.section.skills-settings":"திறன்கள்","settings.section.unavailable":"இன்னும் ஆல்பாவில் கிடைக்கவில்லை","settings.section.usage-analytics":"பயன்பாடு & பகுப்பாய்வு","settings.section.worktrees":"ஒர்க்ட்ரீகள்","settings.threadDetail.description":"தொடர்களில் எவ்வளவு கட்டளை வெளியீடு காட்டப்பட வேண்டும் என்பதைத் தேர்வுசெய்யலாம்","settings.threadDetail.label":"தொடரின் விவரம்","settings.worktrees.conversation.untitled":"தலைப்பிடாத உரையாடல்","settings.worktrees.delete.error":"ஒர்க்ட்ரீயை நீக்க முடியவில்லை","settings.worktrees.empty.body":"Codex-ஆல் உருவாக்கப்பட்ட ஒர்க்ட்ரீகள் இங்கே தோன்றும்.","settings.worktrees.empty.title":"ஒர்க்ட்ரீகள் எதுவும் இதுவரை இல்லை","settings.worktrees.error.body":"ஒர்க்ட்ரீகளை ஏற்றும்போது ஏதோ தவறு ஏற்பட்டது.","settings.worktrees.error.retry":"மீண்டும் முயற்சிக்கவும்","settings.worktrees.error.title":"ஒர்க்ட்ரீகளை ஏற்ற முடியவில்லை","settings.worktrees.loading.body":"ஒர்க்ட்ரீ விவரங்களைப் பெறுகிறது.","settings.worktrees.loading.title":"ஒர்க்ட்ரீகளை ஏற்றுகிறது","settings.worktrees.repository.loading":"களஞ்சிய மெட்டாடேட்டாவை ஏற்றுகிறது…","settings.worktrees.repository.unknown":"தெரியாத ரிபாசிட்டரி","settings.worktrees.row.conversations":"உரையாடல்கள்","settings.worktrees.row.conversations.empty":"இந்த ஒர்க்ட்ரீயுடன் எந்த உரையாடல்களும் இணைக்கப்படவில்லை.","settings.worktrees.row.conversations.loading":"உரையாடல்களை ஏற்றுகிறது...","settings.worktrees.row.delete":"நீக்கவும்","settings.worktrees.row.title":"பணிப்பிரிவு","sidebarElectron.addWorkspaceRoot":"புதிய திட்டத்தைச் சேர்","sidebarElectron.archiveThread":"தொடரைக் காப்பிடு","sidebarElectron.archiveThreadError":"தொடரை ஆவணக் காப்பிட முடியவில்லை","sidebarElectron.collapseFolder":"கோப்புறையைச் சுருக்குக","sidebarElectron.createStableWorktree.dialog.cancel":"ரத்துசெய்க","sidebarElectron.createStableWorktree.dialog.create":"உருவாக்கு","sidebarElectron.debugNavLink":"பிழைத்திருத்தம்","sidebarElectron.editWorkspaceRootOptionName":"பெயரை திருத்துக","sidebarElectron.expandFolder":"கோப்புறையை விரிவாக்குக","sidebarElectron.groupByMenu.recency":"காலவரிசைப் பட்டியல்","sidebarElectron.groupByMenu.title":"ஒழுங்கமைக்கவும்","sidebarElectron.groupByMenu.workspace":"திட்டத்தின்படி","sidebarElectron.inboxRouteNavLink":"ஆட்டோமேஷன்கள்","sidebarElectron.markThreadUnread":"படிக்காததாகக் குறி","sidebarElectron.missingWorkspaceRoot":"இந்தத் திட்டக் கோப்புறை நீக்கப்பட்டது அல்லது நகர்த்தப்பட்டது","sidebarElectron.newThread":"புதிய தொடர்","sidebarElectron.newThreadInGroup":"{folder}-இல் புதிய தொடரைத் தொடங்கவும்","sidebarElectron.noRecentThreads":"சமீபத்திய தொடர்கள் இல்லை","sidebarElectron.noTasks":"தொடர்கள் ஏதுமில்லை","sidebarElectron.noTasks.start":"ஒரு புதிய திட்டத்தைச் சேர்","sidebarElectron.noTasksWithFilter":"வடிகட்டிகளுடன் பொருந்தும் தொடர்கள் ஏதுமில்லை","sidebarElectron.pinnedThreads":"பின்செய்த தொடர்கள்","sidebarElectron.recentNavLink":"தொடர்கள்","sidebarElectron.recentThreads":"சமீபத்திய தொடர்கள்","sidebarElectron.removeWorkspaceRootOption":"அகற்று","sidebarElectron.renameThread":"தொடருக்கு பெயரை மாற்றுக","sidebarElectron.renameThreadDialogAriaLabel":"தொடரின் தலைப்பு","sidebarElectron.renameThreadDialogCancel":"ரத்துசெய்","sidebarElectron.renameThreadDialogPlaceholder":"தலைப்பைச் சேர்க்கவும்…","sidebarElectron.renameThreadDialogSave":"சேமிக்கவும்","sidebarElectron.renameThreadDialogSubtitle":"இதைச் சுருக்கமாகவும் அடையாளம் காணக்கூடியதாகவும் வைத்திருங்கள்.","sidebarElectron.renameThreadDialogTitle":"தொடருக்கு பெயரை மாற்றுக","sidebarElectron.renameThreadError":"தொடரின் பெயரை மாற்ற முடியவில்லை","sidebarElectron.renameWorkspaceRootOptionLabel":"காட்சிப் பெயர்","sidebarElectron.showLess":"குறைவாகக் காட்டு","sidebarElectron.showMenu.all":"எல்லா தொடர்களும்","sidebarElectron.showMenu.relevant":"தொடர்புடையது","sidebarElectron.showMenu.relevantHint":"தற்போதைய கிளை, ஒர்க்ட்ரீகள் அல்லது உங்கள் கவனம் தேவைப்படும் பிற தொடர்களுக்கான சமீபத்திய தொடர்களை மட்டும் காட்டும்.","sidebarElectron.showMenu.title":"காட்டு","sidebarElectron.showMenu.tooltip":"தொடர்களை வடிகட்டலாம், வரிசைப்படுத்தலாம், ஒழுங்கமைக்கலாம்","sidebarElectron.showMenu.trigger":"பக்கப்பட்டி தொடர்களை வடிகட்டு","sidebarElectron.showMore":"மேலும் காட்டு","sidebarElectron.skillsRouteNavLink":"ஸ்கில்கள்","sidebarElectron.sortMenu.created":"உருவாக்கப்பட்டது","sidebarElectron.sortMenu.title":"இதன்படி வரிசைப்படுத்து","sidebarElectron.sortMenu.updated":"புதுப்பிக்கப்பட்டது","sidebarElectron.taskNavigation":"ஆட்டோமேஷன் கோப்புறைகள்","sidebarElectron.tasksInFolder":"{folder}-இல் ஆட்டோமேஷன்கள்","sidebarElectron.workspaceOptions":"{folder}க்கான திட்ட நடவடிக்கைகள்","sidebarElectron.worktreeGroupTooltip":"இது ஒரு git ஒர்க்ட்ரீ","skills.appsPage.createSkill":"புதிய ஸ்கில்","skills.appsPage.empty.skills":"ஸ்கில்கள் எதுவுமில்லை","skills.appsPage.search.skills":"ஸ்கில்களைத் தேடவும்","skills.appsPage.search.skills.label":"ஸ்கில்களைத் தேடவும்","skills.appsPage.section.installedApps":"நிறுவப்பட்டது","skills.appsPage.section.skills":"திறன்கள்","skills.appsPage.subheading":"Codexக்கு சூப்பர்பவரகளைக் கொடுங்கள்.<link>மேலும் அறிக</link>","skills.appsPage.tab.recommended":"பரிந்துரைக்கப்படுவது","skills.appsPage.tab.skills":"திறன்கள்","skills.card.contentsError":"ஸ்கில் உள்ளடக்கங்களை ஏற்ற முடியவில்லை.","skills.card.disable":"முடக்கு","skills.card.disableSuccess":"{skillName} ஸ்கில் முடக்கப்பட்டது","skills.card.disabledBadge":"முடக்கப்பட்டது","skills.card.enable":"செயல்படுத்து","skills.card.enableSuccess":"{skillName} ஸ்கில் இயக்கப்பட்டது","skills.card.loadingContents":"ஸ்கில் உள்ளடக்கங்களை ஏற்றுகிறது...","skills.card.more":"மேலதிகச் செயல்கள்","skills.card.open":"திறக்கவும்","skills.card.removeFailed":"ஸ்கில்லை நிறுவல் நீக்க முடியவில்லை","skills.card.removeSuccess":"{skillName} ஸ்கில் நிறுவல் நீக்கப்பட்டது","skills.card.toggleEnabledError":"ஸ்கில்களைப் புதுப்பிக்க முடியவில்லை","skills.card.try":"முயற்சித்திடுக","skills.card.trySkill":"ஸ்கில்லை முயற்சித்திடுக","skills.card.uninstall":"நிறுவல் நீக்கு","skills.hero.dotLabel":"ஸ்லைடு {index}க்குச் செல்லவும்","skills.hero.next":"அடுத்த சிறப்பு ஸ்கில்","skills.hero.trySkill":"ஸ்கில்லை முயற்சித்திடுக","skills.page.createSkill":"புதிய ஸ்கில்","skills.page.empty":"ஸ்கில்கள் எதுவுமில்லை","skills.page.filteredEmpty":"உங்கள் வடிகட்டிகளுடன் பொருந்துகின்ற உருப்படிகள் எதுவும் இல்லை","skills.page.filteredEmptyDescription":"உங்கள் தேடல் அல்லது ஸ்கோப் வடிப்பான்களை சரிசெய்ய முயற்சிக்கவும்","skills.page.heading":"திறன்கள்","skills.page.loading":"ஸ்கில்களை ஏற்றுகிறது...","skills.page.refreshSkills":"புதுப்பி","skills.page.refreshSkillsToUseNew":"புதிய ஸ்கில்(களை) பயன்படுத்த புதுப்பிக்கவும்","skills.page.search":"ஸ்கில்களைத் தேடவும்","skills.page.search.label":"ஸ்கில்களைத் தேடவும்","skills.page.subheading":"Codexக்கு சூப்பர்பவரகளைக் கொடுங்கள்.<link>மேலும் அறிக</link>","skills.preview.copyPrompt":"ப்ராம்ப்ட்டை நகலெடு","skills.preview.examplePrompt":"உதாரண தூண்டி","skills.recommended.error":"பரிந்துரைக்கப்பட்ட ஸ்கில்களை ஏற்ற முடியவில்லை","skills.recommended.install":"நிறுவுக","skills.recommended.installSkill":"ஸ்கில்லை நிறுவு","skills.recommended.installSuccess":"{skillName} ஸ்கில் நிறுவப்பட்டது","skills.recommended.installed":"நிறுவப்பட்டது","skills.scope.admin":"நிர்வாகி","skills.scope.adminInstalled":"நிர்வாகி நிறுவியது","skills.scope.builtIn":"அமைப்பு","skills.scope.personal":"தனிப்பட்ட","skills.scope.repo":"களஞ்சியம்","skills.scope.system":"அமைப்பு","skills.scope.team":"குழு","skills.scope.user":"பயனர்","skills.section.installed":"நிறுவப்பட்டது","skills.section.recommended":"பரிந்துரைக்கப்படுவது","story.slidingToggle.existing":"தற்போதுள்ளது","story.slidingToggle.fromLocal":"லோக்கலிலிருந்து","story.slidingToggle.new":"புதியது","story.slidingToggle.toLocal":"லோக்கலுக்கு","terminal.close":"டெர்மினலை மூடுக","terminal.title":"டெர்மினல்","thinkingShimmer.default":"யோசிக்கிறது","threadEnvIcon.cloudTooltip":"இந்த உரையாடல் Codex கிளவுட்டில் இயங்குகிறது.","threadEnvIcon.localTooltip":"இந்த உரையாடல் அகமாய் இயங்குகிறது.","threadEnvIcon.worktreeTooltip":"இந்த உரையாடல் ஒரு லோக்கல் git ஒர்க்ட்ரீயில் இயங்குகிறது.","threadHeader.archiveConfirmCancel":"ரத்துசெய்","threadHeader.archiveConfirmConfirm":"ஆவணக் காப்பிடவும்","threadHeader.archiveConfirmSubtitle":"உங்கள் காப்பகப்படுத்தப்பட்ட தொடர்களில் அதைப் பின்னர் காணலாம்.","threadHeader.archiveConfirmTitle":"தொடரைக் காப்பகப்படுத்தவா?","threadHeader.copyAppLink":"டீப்லிங்க்கை நகலெடு","threadHeader.copySessionId":"அமர்வு ஐடியை நகலெடு","threadHeader.copyWorkingDirectory":"செயல்படும் கோப்பகத்தை நகலெடு","threadHeader.forkIntoLocal":"லோக்கலுக்கு ஃபோர்க் செய்யவும்","threadHeader.forkIntoWorktree":"புதிய ஒர்க்ட்ரீக்கு ஃபோர்க் செய்யவும்","threadHeader.forkPendingWorktreePrompt":"இந்த உரையாடலை ஒரு புதிய ஒர்க்ட்ரீயாக மாற்று.","threadHeader.forkPendingWorktreeTitle":"ஃபோர்க் செய்த உரையாடல்","threadHeader.forkThreadError":"தொடரை ஃபோர்க் செய்ய முடியவில்லை","threadHeader.forkThreadRequiresGitRepo":"புதிய ஒர்க்ட்ரீயில் ஃபோர்க் செய்ய ஒரு git ரிபாசிட்டரி தேவை","threadHeader.moreActions":"தொடரின் செயல்கள்","threadPage.newThread":"புதிய தொடர்","threadPage.runAction.changeEnvironment":"சூழலை மாற்று","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} நடவடிக்கைகள்","threadPage.runAction.environmentSelector.label":"சூழலைத் தேர்ந்தெடுக்கும்","threadPage.runAction.label":"இயக்கு","threadPage.runAction.missing.label":"ஒரு ரன் செயலை அமைக்கவும்.","threadPage.runAction.setup.commandLabel":"ரன் செய்வதற்கான கமாண்ட்","threadPage.runAction.setup.description":"Codex-இடம் சார்புகளை எப்படி நிறுவுவது மற்றும் உங்கள் செயலியை எப்படித் தொடங்குவது என்று சொல்லுங்கள்.","threadPage.runAction.setup.editMore":"சூழல் அமைப்புகள்","threadPage.runAction.setup.placeholder":"எ.கா: npm install npm run","threadPage.runAction.setup.submit":"சேமித்து இயக்கு","threadPage.runAction.setup.title":"இயக்கு","threadPage.runAction.tooltip.withEnvironment":"{environmentName} நடவடிக்கைகள்","threadPage.toggleDiffPanel":"diff பேனலை நிலைமாற்று","threadPage.toggleTerminal":"டெர்மினலை நிலைமாற்றுக","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"கோப்புறையைத் திறக்கலாம்","toolSummaryForCmd.exploredFiles":"<verb>பட்டியலிடப்பட்ட</verb> கோப்புகள்","toolSummaryForCmd.exploredFilesInPath":"{path}-இல் <verb>பட்டியலிடப்பட்ட</verb> கோப்புகள்","toolSummaryForCmd.exploringFiles":"கோப்புகளைப் <verb>பட்டியலிடுதல்</verb>","toolSummaryForCmd.exploringFilesInPath":"{path}-இல் கோப்புகளைப் <verb>பட்டியலிடுதல்</verb>","toolSummaryForCmd.ranGenericCommand":"<status>இயக்கப்பட்ட கட்டளை</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>இயக்கப்பட்டது</status> {command}{timer}","toolSummaryForCmd.read":"{path}-ஐப் <verb>படிக்கவும்</verb>","toolSummaryForCmd.runningGenericCommand":"<status>குறியீடு இயங்குகிறது</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed}க்கு","toolSummaryForCmd.searchedFor":"{query} தொடர்பாகத் <verb>தேடப்பட்டது</verb>","toolSummaryForCmd.searchedForFiles":"கோப்புகளைத் <verb>தேடியது</verb>","toolSummaryForCmd.searchedForInPath":"{path}-இல் {query} தொடர்பாக <verb>தேடப்பட்டது</verb>","toolSummaryForCmd.searchingFor":"{query}-ஐத் <verb>தேடுகிறது</verb>","toolSummaryForCmd.searchingForFiles":"கோப்புகளைத் <verb>தேடுகிறது</verb>","toolSummaryForCmd.searchingForInPath":"{path}-இல் {query}-ஐத் <verb>தேடுகிறது</verb>","traceRecording.details.noteLabel":"இது நடந்தபோது நீங்கள் என்ன செய்து கொண்டிருந்தீர்கள்? (விரும்பினால்)","traceRecording.details.notePlaceholder":"ஒரு பெரிய தொடருக்குச் சென்று, பின்னர் டேப்களை தொடர்ந்து மாற்றினேன்.…","traceRecording.details.submit":"டிரேஸை அனுப்பு","traceRecording.details.subtitle":"செயல்திறன் சிக்கல்களைக் கண்டறிய உதவுவதற்காக இந்தச் சுயவிவர டிரேஸை நாங்கள் அனுப்பலாம்.","traceRecording.details.title":"சுயவிவர டிரேஸை அனுப்பவா?","traceRecording.progress.subtitle":"இது முடியும் வரை Codex-ஐத் திறந்தே வைத்திருங்கள்.","traceRecording.saving.title":"டிரேஸைச் சேமிக்கிறது…","traceRecording.startDetails.cancel":"ரத்துசெய்","traceRecording.startDetails.submit":"சரி, ரெக்கார்டிங்கைத் தொடங்கு","traceRecording.startDetails.subtitle":"சரி என்பதைக் கிளிக் செய்த பிறகு, செயல்திறன் சிக்கலை மீண்டும் உருவாக்கவும், பின்னர் டிரேஸை நிறுத்தி மதிப்பாய்வு செய்ய மிதக்கும் சிவப்புக் குறிகாட்டியைக் கிளிக் செய்யவும்.","traceRecording.startDetails.title":"டிரேஸ் ரெக்கார்டிங் எப்படி செயல்படுகிறது","traceRecording.stopButton.ariaLabel":"டிரேஸ் ரெக்கார்டிங்கை நிறுத்தும்","traceRecording.upload.successToast":"சுயவிவர டிரேஸ் அனுப்பப்பட்டது.","traceRecording.uploading.title":"டிரேஸை பதிவேற்றுகிறது…","wham.diff.addComment":"கருத்தைச் சேர்க்கவும்","wham.diff.binaryFile":"பைனரி கோப்பு காட்டப்படவில்லை","wham.diff.noContent":"உள்ளடக்கம் இல்லை","wham.fileTag.deleted":"நீக்கப்பட்டது","wham.fileTag.new":"புதியது","wham.formattedRelativeDateTime.compactDaysAgo":"{value}நா","wham.formattedRelativeDateTime.compactHoursAgo":"{value}ம","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}நி","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}மா","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}வா","wham.formattedRelativeDateTime.compactYearsAgo":"{value}வ","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"உங்கள் பணியைச் செய்கிறது","wham.whamProposedTask.title":"பரிந்துரைக்கப்படும் பணி","wham.whamProposedTask.useSuggestion":"பரிந்துரையைப் பயன்படுத்துக","workspaceRootDialog.addError":"திட்டத்தைச் சேர்க்க முடியவில்லை","workspaceRootDialog.cancel":"ரத்துசெய்","workspaceRootDialog.confirmAdd":"திட்டத்தைச் சேர்","workspaceRootDialog.confirmPick":"திட்டத்தைப் பயன்படுத்து","workspaceRootDialog.description":"ஒரு திட்டமாகப் பயன்படுத்த {host}-இல் ஒரு பாதையை உள்ளிடவும்.","workspaceRootDialog.pathLabel":"திட்டப் பாதை","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"திட்டப் பாதையைச் சேர்க்கவும்","workspaceRootDialog.title.pick":"திட்டப் பாதையைத் தேர்ந்தெடுக்கவும்","worktreeInitV2.cancel":"ரத்துசெய்","worktreeInitV2.notification.failedTitle":"ஒர்க்ட்ரீ அமைப்பு தோல்வியடைந்தது","worktreeInitV2.output.empty":"வெளியீட்டிற்காகக் காத்திருக்கிறது…","worktreeInitV2.status.error":"ஒர்க்ட்ரீ அமைப்பு தோல்வியடைந்தது.","worktreeInitV2.status.running":"ஓர் ஒர்க்ட்ரீ உருவாக்கி அமைப்பை இயக்குகிறது.","worktreeInitV2.status.runningFork":"இந்த உரையாடலை ஃபோர்க் செய்ய ஓர் ஒர்க்ட்ரீயை உருவாக்குகிறது.","worktreeInitV2.status.success":"ஒர்க்ட்ரீ தயார்.","worktreeInitV2.title":"ஒர்க்ட்ரீயை உருவாக்குகிறது","worktreeInitV2.workLocallyInstead":"பதிலாக லோக்கலில் செயல்படுக","worktreeRestoreBanner.body":"டிஸ்க் இடத்தை சேமிக்க இந்தத் தொடரின் ஒர்க்ட்ரீ அகற்றப்பட்டது","worktreeRestoreBanner.missing.body":"இந்தத் தொடரின் செயல்பாட்டுக் கோப்பகம் இனி இல்லை","worktreeRestoreBanner.missing.title":"தற்போதைய செயல்பாட்டுக் கோப்பகம் காணவில்லை","worktreeRestoreBanner.restore.error":"ஒர்க்ட்ரீயை மீட்டமைக்க முடியவில்லை: {message}","worktreeRestoreBanner.restore.success":"ஒர்க்ட்ரீ மீட்டெடுக்கப்பட்டது","worktreeRestoreBanner.restoreCta":"ஒர்க்ட்ரீயை மீட்டமைத்திடுக","worktreeRestoreBanner.title":"ஒர்க்ட்ரீ சுத்தப்படுத்தப்பட்டது"};Object.assign(e,globalThis.codexI18nOverrides?.["ta-IN"]);export{e as default};
 //# sourceMappingURL=ta-IN-D8nIdL9k.js.map
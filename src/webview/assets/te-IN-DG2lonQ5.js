@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"కాపీ చేయండి","app.sidebar.hide":"సైడ్‌బార్‌ను దాచు","app.sidebar.show":"సైడ్‌బార్ చూపించు","app.sidebar.tooltip":"సైడ్‌బార్‌ను టోగుల్ చేయండి","appHeader.installUpdate":"నవీకరించు","appSunset.body":"ఈ యాప్ వెర్షన్‌కు ఇకపై మద్దతు లేదు. దయచేసి తాజా వెర్షన్‌ను <here>ఇక్కడ</here> డౌన్‌లోడ్ చేసుకోండి.","appSunset.title":"అప్‌డేట్ అవసరం","automation.updateDirective.create":"సృష్టించండి","automation.updateDirective.open":"తెరవండి","automation.updateDirective.untitled":"పేరులేని ఆటోమేషన్","automation.updateDirective.update":"నవీకరించు","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# ప్రయత్నం} other {# ప్రయత్నాలు}}","cloudTaskRow.archiveError":"టాస్క్‌ను ఆర్కైవ్ చేయడంలో విఫలమైంది","code.diff.requestChange":"మార్పును అభ్యర్దించండి","code.diffComment.cancel":"రద్దు చేయండి","code.diffComment.comment":"కామెంట్","code.diffComment.delete":"తొలగించండి","code.diffComment.save":"సేవ్ చేయండి","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"ఎటువంటి ఫలితాలు నివేదించబడలేదు.","codex.alert.closeAriaLabel":"మూసివేయి","codex.appUpsellBanner.cbpApi.message":"Codex యాప్‌తో వేగంగా నిర్మించండి. ఇప్పుడే డౌన్‌లోడ్ చేసుకోండి లేదా {learnMoreLink}.","codex.appUpsellBanner.download":"డౌన్‌లోడ్ చేయండి","codex.appUpsellBanner.freeGo.message":"Codex మార్చి 2వ తేదీ వరకు మీ ప్రణాళికలో చేర్చబడింది. వేగంగా అభివృద్ధి చేయడానికి Codex యాప్‌ను ప్రయత్నించండి.","codex.appUpsellBanner.later":"తర్వాత","codex.appUpsellBanner.learnMoreLowercase":"మరింత తెలుసుకోండి","codex.appUpsellBanner.new":"కొత్తది","codex.appUpsellBanner.proPlusBusiness.message":"ఏప్రిల్ 2 వరకు 2x రేటు పరిమితులతో Codex యాప్‌ను ప్రయత్నించండి. ఇప్పుడే డౌన్‌లోడ్ చేసుకోండి లేదా {learnMoreLink}.","codex.appUpsellBanner.title":"Codex యాప్","codex.applyDropdown.header.changes":"మార్పులు","codex.applyDropdown.header.fileCount":"{count, plural, one {# ఫైల్} other {# ఫైల్‌లు}}","codex.applyDropdown.header.rows":"వరుసలు","codex.applyDropdown.header.title":"మార్పులను వర్తింపజేయండి","codex.applyDropdown.header.workspace":"ప్రాజెక్ట్","codex.applyDropdown.results.conflicted":"{count, plural, one {1 file conflicted:} other {{count} files conflicted:}}","codex.applyDropdown.results.empty":"No files were copied","codex.applyDropdown.results.skipped":"{count, plural, one {1 ఫైల్ దాటవేయబడింది:} other {{count} files skipped:}}","codex.applyOrRevertBanner.apply":"వర్తించు","codex.applyOrRevertBanner.applyMessage":"మార్పులను వర్తింపజేసి స్థానికంగా కొనసాగించాలా?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ఈ పని {environment}లో చేయబడింది కాబట్టి పూర్తిగా వర్తించకపోవచ్చు.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment}లో చేసిన మార్పులు పూర్తిగా వర్తించకపోవచ్చు.","codex.applyOrRevertBanner.reapply":"మళ్ళీ దరఖాస్తు చేసుకోండి","codex.applyOrRevertBanner.revert":"తిరిగి సమాధానం ఇవ్వడం","codex.applyOrRevertBanner.revertMessage":"వర్తింపజేసిన మార్పులను తిరిగి మార్చాలా?","codex.applyResultsDialog.applied":"శుభ్రంగా వర్తింపజేయబడింది ({count})","codex.applyResultsDialog.close":"మూసివేయి","codex.applyResultsDialog.conflicted":"వివాదాస్పదం ({count})","codex.applyResultsDialog.noDetails":"ఫైల్ వివరాలు అందుబాటులో లేవు.","codex.applyResultsDialog.skipped":"({count}) దాటవేయబడింది","codex.applyResultsDialog.title":"ఫలితాలను వర్తింపజేయండి","codex.archiveInfo":"{dataControlsLink}లో ఆర్కైవ్ చేయబడిన చాట్‌లను వీక్షించండి.","codex.archiveInfo.dataControlsLink":"డేటా నియంత్రణలు","codex.archiveInfo.electron":"{settingsLink}లో ఆర్కైవ్ చేయబడిన చాట్‌లను వీక్షించండి.","codex.archiveInfo.extension":"మీ .codex ఫోల్డర్‌లో ఆర్కైవ్ చేయబడిన చాట్‌లను చూడండి.","codex.archiveInfo.settingsLink":"సెట్టింగ్‌లు","codex.banner.content.description":"పనులను సమాంతరంగా అమలు చేయండి, ఎక్కడైనా పురోగతిని ట్రాక్ చేయండి మరియు AIతో PRలను సమీక్షించండి.","codex.banner.content.headline":"Codex అన్నీ చేస్తుంది.","codex.cloudTaskRow.archiveTask":"పనిని ఆర్కైవ్ చేయండి","codex.cloudTaskRow.confirmArchiveTask":"నిర్ధారించండి","codex.command.feedback":"ఫీడ్‌బ్యాక్‌","codex.command.findInThread":"కనుగొనండి","codex.command.forceReloadSkills":"బలవంతంగా నైపుణ్యాలను మళ్లీ లోడ్ చేయండి","codex.command.logOut":"లాగ్అవుట్ చేయి","codex.command.manageTasks":"పనులను నిర్వహించండి","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"వెనుకకు","codex.command.navigateForward":"ఫార్‌వర్డ్","codex.command.newThread":"కొత్త థ్రెడ్","codex.command.nextThread":"తర్వాతి థ్రెడ్","codex.command.openFolder":"ఫోల్డర్‌ను తెరవండి","codex.command.openSkills":"నైపుణ్యాలకు వెళ్లండి","codex.command.openThreadOverlay":"పాప్ అవుట్ థ్రెడ్","codex.command.personalitySettings":"వ్యక్తిత్వం","codex.command.previousThread":"మునుపటి థ్రెడ్","codex.command.settings":"సెట్టింగ్‌లు","codex.command.toggleDiffPanel":"తేడా ప్యానెల్‌ను టోగుల్ చేయండి","codex.command.toggleSidebar":"సైడ్‌బార్‌ను టోగుల్ చేయండి","codex.command.toggleTerminal":"టెర్మినల్‌ను టోగుల్ చేయండి","codex.commandGroup.app":"యాప్","codex.commandGroup.configure":"కాన్ఫిగర్ చేయి","codex.commandGroup.navigation":"నావిగేషన్","codex.commandGroup.panels":"ప్యానెల్‌లు","codex.commandGroup.skills":"నైపుణ్యాలు","codex.commandGroup.thread":"థ్రెడ్","codex.commandGroup.workspace":"ప్రాజెక్ట్","codex.commandMenu.noResults":"మ్యాచ్‌లు ఏవీ లేవు","codex.commandMenu.searchPlaceholder":"శోధన ఆదేశాలు","codex.commandMenu.suggestedGroup":"సూచించనది","codex.commandMenu.switchWorkspace":"ప్రాజెక్ట్‌ను మార్చండి","codex.commandMenu.title":"కమాండ్ మెను","codex.common.retry":"మళ్లీ ప్రయత్నించండి","codex.composer.searchBranches":"శాఖలను శోధించండి","codex.dialog.basic.body":"ఇది రాడిక్స్ డైలాగ్ చుట్టూ ఉన్న మా రేపర్‌ని ఉపయోగించే ఒక సాధారణ మోడల్ డైలాగ్.","codex.dialog.basic.cancel":"రద్దు చేయండి","codex.dialog.basic.confirm":"నిర్ధారించండి","codex.dialog.basic.open":"డైలాగ్ తెరవండి","codex.dialog.basic.title":"నమూనా డైలాగ్","codex.dialog.long.close":"మూసివేయి","codex.dialog.long.line":"డైలాగ్ లోపల పొడవైన కంటెంట్‌ను ప్రదర్శించడానికి స్క్రోల్ చేయగల పంక్తి {index}.","codex.dialog.long.open":"దీర్ఘ డైలాగ్‌ను తెరవండి","codex.dialog.long.title":"దీర్ఘ కంటెంట్ డైలాగ్","codex.dialog.unstyled.body":"This story shows how callers can fully control the dialog content styling.","codex.dialog.unstyled.open":"Open Unstyled Dialog","codex.dialog.unstyled.title":"Unstyled Content","codex.diff.openInEditorPrompt.openButton":"ఎడిటర్‌లో తెరవండి","codex.diff.openInEditorPrompt.singleLine":"ఈ ఫైల్ ఇక్కడ ప్రదర్శించడానికి చాలా పెద్దదిగా ఉంది.","codex.diffView.failedToDecodeBase64Diff":"బేస్64 తేడా‌ను డీకోడ్ చేయడంలో విఫలమైంది.","codex.diffView.filesChanged":"{fileCount, plural, one {# ఫైల్ మార్చబడింది} other {# ఫైల్‌లు మార్చబడ్డాయి}}","codex.diffView.imagePreviewAlt":"చిత్రం ప్రివ్యూ","codex.diffView.imagePreviewEmpty":"చిత్రాలు లేవు","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"తేడా డేటా లేదు","codex.diffView.pdfPreview.nextPage":"తర్వాతి పేజీ","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"మునుపటి పేజీ","codex.diffView.pdfPreviewEmpty":"PDF ప్రివ్యూ అందుబాటులో లేదు","codex.diffView.pdfPreviewError":"PDF ప్రివ్యూను ప్రదర్శించలేకపోయాము","codex.diffView.richPreviewDisable":"రిచ్ ప్రివ్యూను నిలిపివేయండి","codex.diffView.richPreviewEnable":"రిచ్ ప్రివ్యూను ప్రారంభించండి","codex.diffView.richPreviewLoading":"ప్రివ్యూ లోడ్ అవుతోంది…","codex.diffView.richPreviewToggle":"రిచ్ ప్రివ్యూను టోగుల్ చేయి","codex.diffView.switchToUnified":"ఏకీకృత తేడాకు మారండి","codex.environmentSelector.noEnvironment":"పర్యావరణాలు లేవు","codex.environments.environmentSettings":"పర్యావరణ సెట్టింగ్‌లు","codex.environments.learnMore":"మరింత తెలుసుకోండి","codex.environments.listError":"పర్యావరణాలను లోడ్ చేయడంలో విఫలమైంది","codex.environments.noEnvironmentsFound":"వాతావరణాలు కనుగొనబడలేదు","codex.environments.searchError":"వాతావరణాలను శోధించడంలో విఫలమైంది.","codex.errorBoundary.genericError":"అయ్యో, ఒక లోపం సంభవించింది","codex.errorBoundary.goHome":"మళ్లీ ప్రయత్నించండి","codex.file.patch.missing":"Unable to build patch for this file.","codex.gallery.automations.cwdLabel":"ప్రాజెక్ట్‌లు","codex.gallery.automations.nameLabel":"పేరు","codex.gallery.automations.namePlaceholder":"Summarize a task","codex.gallery.automations.promptLabel":"ప్రాంప్ట్","codex.gallery.automations.promptPlaceholder":"Describe what Codex should do","codex.gallery.dialogs.automation.label":"Automation dialog","codex.gallery.dialogs.basic.body":"Use this layout for straightforward confirmations or short forms.","codex.gallery.dialogs.basic.cancel":"రద్దు చేయండి","codex.gallery.dialogs.basic.confirm":"నిర్ధారించండి","codex.gallery.dialogs.basic.label":"Basic dialog","codex.gallery.dialogs.basic.title":"నమూనా డైలాగ్","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"సమస్యను వివరించండి","codex.gallery.dialogs.feedbackSubmission.bad":"చెడు ఫలితం","codex.gallery.dialogs.feedbackSubmission.bug":"బగ్","codex.gallery.dialogs.feedbackSubmission.good":"మంచి ఫలితం","codex.gallery.dialogs.feedbackSubmission.includeLogs":"ప్రస్తుత Codex సెషన్ లాగ్‌లను చేర్చండి","codex.gallery.dialogs.feedbackSubmission.label":"Feedback submission","codex.gallery.dialogs.feedbackSubmission.other":"ఇతర","codex.gallery.dialogs.feedbackSubmission.placeholder":"సమస్యను ఇక్కడ వివరించండి","codex.gallery.dialogs.feedbackSubmission.submit":"సమర్పించండి","codex.gallery.dialogs.feedbackSubmission.title":"ఫీడ్‌బ్యాక్‌","codex.gallery.dialogs.feedbackSuccess.body":"అభిప్రాయం అప్‌లోడ్ చేయబడింది. సమస్య కొనసాగితే, దయచేసి గిట్‌హబ్ ఇష్యూను తెరవండి లేదా ఇప్పటికే ఉన్న ఓపెన్ ఇష్యూలో థ్రెడ్ ఐడిని పేర్కొనండి.","codex.gallery.dialogs.feedbackSuccess.dismiss":"విస్మరించండి","codex.gallery.dialogs.feedbackSuccess.label":"Feedback success","codex.gallery.dialogs.feedbackSuccess.title":"అభిప్రాయం అప్‌లోడ్ చేయబడింది","codex.gallery.dialogs.gitApplyResults.applied":"శుభ్రంగా వర్తింపజేయబడింది (2)","codex.gallery.dialogs.gitApplyResults.close":"మూసివేయి","codex.gallery.dialogs.gitApplyResults.conflicted":"సంఘర్షణకు గురైనది: (1)","codex.gallery.dialogs.gitApplyResults.label":"ఫలితాలను వర్తింపజేయండి","codex.gallery.dialogs.gitApplyResults.title":"ఫలితాలను వర్తింపజేయండి","codex.gallery.dialogs.gitPushError.body":"Pull the latest changes or force push if you know the remote history is safe to overwrite.","codex.gallery.dialogs.gitPushError.cancel":"రద్దు చేయండి","codex.gallery.dialogs.gitPushError.force":"ఫోర్స్ పుష్","codex.gallery.dialogs.gitPushError.label":"Push error","codex.gallery.dialogs.gitPushError.subtitle":"Your branch is behind origin/main.","codex.gallery.dialogs.gitPushError.title":"మార్పులను పుష్ చేయడంలో విఫలమైంది","codex.gallery.dialogs.gitRevert.cancel":"రద్దు చేయండి","codex.gallery.dialogs.gitRevert.confirm":"తిరిగి సమాధానం ఇవ్వడం","codex.gallery.dialogs.gitRevert.label":"మార్పులను తిరిగి మార్చండి","codex.gallery.dialogs.gitRevert.skip":"మళ్లీ అడగకండి","codex.gallery.dialogs.gitRevert.subtitle":"ఈ చర్య ఈ మార్పులన్నింటినీ తీసివేస్తుంది.","codex.gallery.dialogs.gitRevert.title":"మార్పులను తిరిగి మార్చాలా?","codex.gallery.dialogs.longForm.label":"Long form dialog","codex.gallery.dialogs.proseModal.body":"This modal style is used for longer instructions, onboarding, or rich content blocks.","codex.gallery.dialogs.proseModal.close":"మూసివేయి","codex.gallery.dialogs.proseModal.subtitle":"Share longer form guidance or documentation here.","codex.gallery.dialogs.proseModal.title":"Prose modal","codex.gallery.dialogs.submitBlocked.label":"Submit blocked","codex.gallery.dialogs.submitBlocked.message":"ప్రాజెక్ట్ అందుబాటులో లేనందున మీ సందేశాన్ని పంపలేకపోయాము.","codex.gallery.dialogs.submitBlocked.ok":"అలాగే","codex.gallery.dialogs.submitBlocked.title":"సందేశం పంపలేకపోయింది","codex.gallery.dialogs.title":"Dialogs","codex.gallery.dropdown.filterPlaceholder":"Filter items","codex.gallery.dropdowns.actionRow":"Action rows","codex.gallery.dropdowns.actionRow.disabled":"Disabled action","codex.gallery.dropdowns.actionRow.primary":"Primary action","codex.gallery.dropdowns.actionRow.secondary":"ద్వితీయ చర్య","codex.gallery.dropdowns.actionRow.trigger":"Show actions","codex.gallery.dropdowns.basic":"Basic dropdown","codex.gallery.dropdowns.basic.newFile":"New file","codex.gallery.dropdowns.basic.newFolder":"కొత్త ఫోల్డర్","codex.gallery.dropdowns.basic.openSettings":"సెట్టింగ్‌లను తెరవండి","codex.gallery.dropdowns.basic.title":"Quick actions","codex.gallery.dropdowns.basic.trigger":"మెనూను తెరు","codex.gallery.dropdowns.basic.upload":"అప్‌లోడ్ చేయండి","codex.gallery.dropdowns.panel":"Panel surface","codex.gallery.dropdowns.panel.apply":"వర్తింపజేయండి","codex.gallery.dropdowns.panel.body":"మార్పులను సమీక్షించి, వాటిని మీ ప్రాజెక్ట్‌కు వర్తింపజేయండి.","codex.gallery.dropdowns.panel.preview":"ప్రివ్యూ","codex.gallery.dropdowns.panel.title":"మార్పులను వర్తింపజేయండి","codex.gallery.dropdowns.panel.trigger":"Open panel","codex.gallery.dropdowns.search":"Searchable dropdown","codex.gallery.dropdowns.search.first":"Alpha channel","codex.gallery.dropdowns.search.second":"Beta branch","codex.gallery.dropdowns.search.third":"Release candidate","codex.gallery.dropdowns.search.trigger":"Filter items","codex.gallery.dropdowns.submenu":"Dropdown with submenu","codex.gallery.dropdowns.submenu.optionA":"ప్రాజెక్ట్ ఆల్ఫా","codex.gallery.dropdowns.submenu.optionB":"ప్రాజెక్ట్ బీటా","codex.gallery.dropdowns.submenu.optionC":"ప్రాజెక్ట్ గామా","codex.gallery.dropdowns.submenu.primary":"యజమానిని అసైన్ చేయి","codex.gallery.dropdowns.submenu.secondary":"దీని కోసం తరలించండి","codex.gallery.dropdowns.submenu.tertiary":"ఆర్కైవ్","codex.gallery.dropdowns.submenu.trigger":"Choose action","codex.gallery.dropdowns.title":"Dropdowns","codex.gallery.inbox.automations.close":"మూసివేయి","codex.gallery.inbox.automations.popover.cardTitle":"ఆటోమేషన్‌లను నిర్వహించండి","codex.gallery.inbox.automations.popover.dialogTitle":"ఆటోమేషన్‌లను నిర్వహించండి","codex.header.settingsTooltip":"సెట్టింగ్‌లు","codex.hunk.patch.error":"స్టేజ్ విషయంలో విఫలమైంది","codex.hunk.patch.missing":"Unable to build patch for this hunk.","codex.hunk.patch.partialSuccess":"పాక్షిక విజయం","codex.hunk.patch.revertError":"అన్‌స్టేజ్ చేయడం విఫలమైంది","codex.hunk.patch.revertSuccess":"విజయవంతంగా అన్‌స్టేజ్ చేయబడింది","codex.hunk.patch.success":"విజయవంతంగా ‌స్టేజ్ చేయబడింది","codex.legal.autonomy.details":"మరిన్ని వివరాలకు, {link} చూడండి","codex.legal.autonomy.details.link":"Codex పత్రాలు","codex.legal.autonomy.title":"మీరు ఎంత స్వయంప్రతిపత్తిని ఇవ్వాలనుకుంటున్నారో నిర్ణయించుకోండి","codex.legal.backButton":"వెనుకకు","codex.legal.cloud.taskOne.meta":"openai/agi · అక్టోబర్ 12","codex.legal.cloud.taskOne.title":"కొత్త డిజైనర్‌కు రిపోజిటరీ గురించి వివరించండి.","codex.legal.cloud.taskThree.meta":"openai/codex · అక్టోబర్ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"డార్క్ మోడ్ థీమ్‌ను సృష్టించండి","codex.legal.cloud.taskTwo.meta":"openai/agi · అక్టోబర్ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ఆన్‌బోర్డింగ్ బగ్‌ను పరిష్కరించండి","codex.legal.continue.apikey":"కొనసాగించండి","codex.legal.continueButton":"తరువాత","codex.legal.copilot.details":"అన్ని మోడల్ కాల్స్, బిల్లింగ్ మరియు రేటు పరిమితుల కోసం మీ కోపైలట్ ప్లాన్‌ను ఉపయోగిస్తుంది. Codex ఎక్స్‌టెన్షన్ వినియోగం {oaiTos} మరియు {gitHubTos} రెండింటికీ లోబడి ఉంటుంది.","codex.legal.copilot.gitHubTosLink":"GitHub సేవా నిబంధనలు","codex.legal.copilot.oaiTosLink":"OpenAI Codex సేవా నిబంధనలు","codex.legal.copilot.title":"GitHub కోపైలట్ ద్వారా ఆధారితం","codex.legal.mistakes.review":"అది వ్రాసే కోడ్‌ను సమీక్షించండి మరియు దానిని అమలు చేయమని ఆదేశించండి","codex.legal.mistakes.title":"Codex తప్పులు చేయవచ్చు","codex.legal.powered.details":"మీ ప్రణాళిక రేటు పరిమితులను మరియు {link}ను ఉపయోగించండి","codex.legal.powered.details.link":"శిక్షణ డేటా ప్రాధాన్యతలు","codex.legal.powered.title":"మీ ChatGPT ఖాతా ద్వారా ఆధారితం.","codex.legal.step.cloud.subtitle":"నేపథ్యంలో అమలు చేయడానికి Codex‌కు పనులను పంపండి, తద్వారా మీరు దృష్టి కేంద్రీకరించి వేగంగా కదలగలరు.","codex.legal.step.cloud.title":"క్లౌడ్‌లో Codex‌కు అప్పగించండి","codex.legal.step.intro.subtitle":"Codex మీ రెపోలో నేరుగా నావిగేట్ చేస్తుంది, సవరిస్తుంది, ఆదేశాలను అమలు చేస్తుంది మరియు పరీక్షలను అమలు చేస్తుంది. మీ ChatGPT ఖాతా ద్వారా ఆధారితం.","codex.legal.step.intro.title":"మీ IDE లోని Codex","codex.legal.step.todo.subtitle":"ఒక TODO వ్యాఖ్యను వ్రాసి, దానిని ఒకే క్లిక్‌తో Codex టాస్క్‌గా మార్చండి.","codex.legal.step.todo.title":"TODOలను Codex పనులుగా మార్చండి","codex.legal.todo.heading":"// TODO: స్కీమాను అమలు చేయండి","codex.localConversation.closeImagePreview":"Close image preview","codex.localConversation.userImageAttachment":"వినియోగదారు అటాచ్‌మెంట్","codex.localTaskRow.archiveTask":"ఆర్కైవ్ థ్రెడ్","codex.localTaskRow.awaitingApproval":"ఆమోదం కోసం వేచి ఉంది","codex.localTaskRow.awaitingResponse":"ప్రతిస్పందన కోసం వేచి ఉంది","codex.localTaskRow.confirmArchiveTask":"నిర్ధారించండి","codex.loggedOut.apiKeyPrompt.cancel":"రద్దు చేయండి","codex.loggedOut.apiKeyPrompt.confirm":"అలాగే","codex.loggedOut.apiKeyPrompt.getKey":"API కీని పొందండి","codex.loggedOut.apiKeyPrompt.inputLabel":"మీ OpenAI API కీని నమోదు చేయండి","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API కీతో క్లౌడ్ పనులు నిలిపివేయబడ్డాయి","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"కోపైలట్ మరియు API కీతో క్లౌడ్ టాస్క్‌లు నిలిపివేయబడ్డాయి","codex.loggedOut.signIn":"ChatGPTతో సైన్ ఇన్ చేయండి","codex.loggedOut.signIn.cancel":"సైన్-ఇన్‌ను రద్దు చేయండి","codex.loggedOut.signInWithCopilot":"GitHub కోపైలట్‌తో సైన్ ఇన్ చేయండి","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API కీని ఉపయోగించండి","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} సాధనం","codex.mcpTool.collapsedLabel.verb.called":"పిలిచారు","codex.mcpTool.collapsedLabel.verb.calling":"కాలింగ్","codex.mcpTool.embeddedResource.contentLabel":"కంటెంట్","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME రకం: ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"సాధనం ఏ కంటెంట్‌ను తిరిగి ఇవ్వలేదు.","codex.mcpTool.rawPayloadHeading":"రా {server}.{tool} టూల్ కాల్ పేలోడ్","codex.menu.recent":"ఇటీవలి","codex.menu.seeAllHistory":"మొత్తం చరిత్రను చూడండి","codex.modelCapacityBanner.headline.noReset":"{modelName} ప్రస్తుతం సామర్థ్యంతో ఉంది. తర్వాత మళ్ళీ ప్రయత్నించండి లేదా మరొక మోడల్‌తో కొత్త సంభాషణను ప్రారంభించండి.","codex.modelCapacityBanner.headline.withReset":"{modelName} ప్రస్తుతం సామర్థ్యంలో ఉంది. {resetDate} తర్వాత మళ్ళీ ప్రయత్నించండి, లేదా మరొక మోడల్‌తో కొత్త సంభాషణను ప్రారంభించండి.","codex.modelCapacityBanner.title":"ఎంచుకున్న మోడల్ సామర్థ్యంలో ఉంది","codex.patch.change.contentsDeleted":"కంటెంట్‌లు తొలగించబడ్డాయి","codex.patch.change.created":"సృష్టించబడింది","codex.patch.change.created-file":"ఫైల్ సృష్టించబడింది","codex.patch.change.creating":"సృష్టిస్తోంది","codex.patch.change.deleted":"తొలగించబడింది","codex.patch.change.deleted-file":"తొలగించబడిన ఫైల్","codex.patch.change.deleting":"తొలగిస్తోంది","codex.patch.change.edited":"సవరించబడింది","codex.patch.change.edited-file":"ఫైల్ సవరించబడింది","codex.patch.change.editing":"సవరిస్తోంది","codex.patch.change.noChanges":"మార్పులు లేవు","codex.patch.change.rejected-add":"Rejected","codex.patch.change.rejected-delete":"Rejected","codex.patch.change.rejected-edit":"Rejected","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed}లో {total} పని పూర్తయింది","codex.plan.todoListCreated":"{total} టాస్క్‌లతో చేయవలసిన పనుల జాబితా సృష్టించబడింది","codex.profileDropdown.apiKeyAuth":"API కీతో లాగిన్ అయ్యారు","codex.profileDropdown.codexSettings":"Codex సెట్టింగ్‌లు","codex.profileDropdown.copilotAuth":"కోపైలట్‌తో లాగిన్ అయ్యారు","codex.profileDropdown.defaultAccountTitle":"డిఫాల్ట్ ఖాతా","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter to send long prompts","codex.profileDropdown.enterBehaviorError":"సెట్టింగ్‌లను అప్‌డేట్ చేయడంలో విఫలమైంది","codex.profileDropdown.getPlus":"అధిక పరిమితుల కోసం అప్‌గ్రేడ్ చేయండి","codex.profileDropdown.keyboardShortcuts":"కీబోర్డ్ షార్ట్‌కట్‌లు","codex.profileDropdown.language":"భాష","codex.profileDropdown.languageDefault":"స్వయం పరిశోధన","codex.profileDropdown.languageSearchPlaceholder":"భాషలను శోధించండి","codex.profileDropdown.languageUpdateError":"Failed to update language","codex.profileDropdown.logOut":"లాగ్అవుట్ చేయి","codex.profileDropdown.mcp":"MCP సెట్టింగ్‌లు","codex.profileDropdown.openConfigToml":"config.toml తెరవండి","codex.profileDropdown.openConfigToml.wsl":"WSL ఎన్విరాన్మెంట్‌లో config.tomlని తెరవండి","codex.profileDropdown.openExtensionSettings":"సెట్టింగ్‌లను తెరవండి","codex.profileDropdown.openMcpSettings":"MCP సెట్టింగ్‌లను తెరవండి","codex.profileDropdown.openOnStartup":"ప్రారంభంలో తెరవండి","codex.profileDropdown.openOnStartupError":"సెట్టింగ్‌లను అప్‌డేట్ చేయడంలో విఫలమైంది","codex.profileDropdown.openSkillsSettings":"నైపుణ్యాల సెట్టింగ్‌లను తెరవండి","codex.profileDropdown.personalAccountTitle":"వ్యక్తిగత ఖాతా","codex.profileDropdown.queueFollowUps":"ఫాలో-అప్‌లను క్యూలో ఉంచండి","codex.profileDropdown.queueFollowUpsError":"సెట్టింగ్‌లను అప్‌డేట్ చేయడంలో విఫలమైంది","codex.profileDropdown.readDocs":"పత్రాలను చదవండి","codex.profileDropdown.readSkillsDocs":"పత్రాలను చదవండి","codex.profileDropdown.runInWsl":"WSLలో రన్ చేయి","codex.profileDropdown.runInWslError":"సెట్టింగ్‌లను అప్‌డేట్ చేయడంలో విఫలమైంది","codex.profileDropdown.runInWslTooltip":"WSL లోపల Codex‌ను అమలు చేస్తుంది. మెరుగైన శాండ్‌బాక్స్ భద్రత మరియు మెరుగైన పనితీరు కోసం సిఫార్సు చేయబడింది.","codex.profileDropdown.settings":"IDE సెట్టింగ్‌లు","codex.profileDropdown.settingsPage":"సెట్టింగ్‌లు","codex.profileDropdown.signInWithOpenAI":"ChatGPTతో సైన్ ఇన్ చేయండి","codex.profileDropdown.skills":"నైపుణ్యాల సెట్టింగ్‌లు","codex.profileDropdown.switchToCopilotAccount":"కోపైలట్ ఖాతాను ఉపయోగించండి","codex.profileDropdown.switchToOpenAIAccount":"OpenAI ఖాతాను ఉపయోగించండి","codex.profileDropdown.todoCodelens":"TODO వ్యాఖ్యలను పరిష్కరించండి","codex.profileDropdown.todoCodelensError":"సెట్టింగ్‌లను అప్‌డేట్ చేయడంలో విఫలమైంది","codex.profileDropdown.windowsDocumentation":"Windows డాక్యుమెంటేషన్","codex.profileFooter.signedInFallback":"సెట్టింగ్‌లు","codex.profileFooter.upgrade":"అప్‌గ్రేడ్ చేయండి","codex.recentTasksMenu.clearSearch":"శోధనను క్లియర్ చేయండి","codex.recentTasksMenu.cloud":"క్లౌడ్ పనులు","codex.recentTasksMenu.count":"{count, plural, =0 {పనులు ఏవీ పురోగతిలో లేవు} one {# పని పురోగతిలో ఉంది} other {# పనులు పురోగతిలో ఉన్నాయి}}","codex.recentTasksMenu.empty":"థ్రెడ్‌లు ఏమీ లేవు","codex.recentTasksMenu.errorCloud":"టాస్క్‌లను లోడ్ చేయడంలో విఫలమైంది.","codex.recentTasksMenu.errorCloud.inline":"క్లౌడ్ టాస్క్‌లను లోడ్ చేయడంలో విఫలమైంది.","codex.recentTasksMenu.filterAll":"అన్నీ","codex.recentTasksMenu.filterCloudTasks":"క్లౌడ్ పనులను ఫిల్టర్ చేయండి","codex.recentTasksMenu.filterTooltip":"పర్యావరణం ఆధారంగా పనులను ఫిల్టర్ చేయండి","codex.recentTasksMenu.local":"స్థానిక పనులు","codex.recentTasksMenu.recent":"అన్ని పనులు","codex.recentTasksMenu.search":"ఇటీవలి పనులను శోధించండి","codex.recentTasksMenu.searchEmpty":"ఫలితాలు లేవు","codex.recentTasksMenu.tooltip":"టాస్క్ చరిత్ర","codex.recentTasksMenu.trigger":"ఇటీవలి పనులు. {count, plural, one {# పురోగతిలో ఉంది} other {# పురోగతిలో ఉంది}}","codex.remoteConversation.applyDiff.applyCta":"మార్పులను వర్తింపజేయండి","codex.remoteConversation.applyDiff.dropdownTitle":"Apply changes to a local branch","codex.remoteConversation.applyDiff.revertCta":"మార్పులను తిరిగి మార్చండి","codex.remoteConversation.closeImagePreview":"Close image preview","codex.remoteConversation.codexCloudTask":"మీరు <u>Codex క్లౌడ్</u> టాస్క్‌ను వీక్షిస్తున్నారు","codex.remoteConversation.errorWithMessage":"లోపం: {message}","codex.remoteConversation.loadingImage":"చిత్రాన్ని లోడ్ చేస్తోంది","codex.remoteConversation.openInWeb":"వెబ్‌లో తెరవండి","codex.remoteConversation.streaming":"ప్రారంభం అవుతోంది","codex.remoteConversation.turnFailed":"ఈ పని చేస్తున్నప్పుడు ఒక లోపం సంభవించింది","codex.remoteConversation.turnTab.loading":"{number} ప్రయత్నం","codex.remoteConversation.turnTab.title":"{number} ప్రయత్నం","codex.remoteConversation.userImageAttachment":"వినియోగదారు అటాచ్‌మెంట్","codex.remoteConversation.viewPreviousTurns":"వెబ్‌లో తెరవండి","codex.remoteConversation.viewPreviousTurns.buttonText":"తెరవండి","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"వెబ్‌లో తెరవండి","codex.review.copyGitApplyCommand":"git కాపీ చేసి కమాండ్‌ను వర్తింపజేయండి","codex.review.copyGitApplyCommand.toast":"git అప్లై ఆదేశాన్ని క్లిప్‌బోర్డుకు కాపీ చేసాము","codex.review.diffTooLarge.description":"ఈ మార్పుల వివరాలు రివ్యూలో ప్రదర్శించడానికి చాలా పెద్దవిగా ఉన్నాయి.","codex.review.diffTooLarge.title":"Diff is too large to display","codex.review.expandOrCollapseDiffButton.collapse":"అన్ని తేడాలను కుదించండి","codex.review.expandOrCollapseDiffButton.expand":"అన్ని తేడాలను విస్తరింపజేయండి","codex.review.expandOrCollapseDiffMenu.collapse":"అన్ని తేడాలను కుదించండి","codex.review.expandOrCollapseDiffMenu.expand":"అన్ని తేడాలను విస్తరింపజేయండి","codex.review.fileSearch.clear":"ఫైల్ ఫిల్టర్‌ను క్లియర్ చేయండి","codex.review.fileSearch.empty":"ప్రస్తుత ఫిల్టర్‌కు సరిపోయే ఫైళ్లు ఏవీ లేవు.","codex.review.fileSearch.label":"ఫైల్‌లను ఫిల్టర్ చేయండి","codex.review.fileSearch.placeholder":"ఫైల్‌లను ఫిల్టర్ చేయండి...","codex.review.filesChanged":"{num, plural, =0 {ఫైళ్లు ఏవీ మారలేదు} one {# ఫైల్ మార్చబడింది} other {# ఫైల్‌లు మార్చబడ్డాయి}}","codex.review.find.loadMore":"మరిన్ని మ్యాచ్‌లను లోడ్ చేయండి","codex.review.fullReview.hideFileTree":"ఫైల్ ట్రీని దాచండి","codex.review.fullReview.showFileTree":"ఫైల్ ట్రీని చూపించండి","codex.review.header.moreOptions":"ఎంపికలను సమీక్షించండి","codex.review.largeDiff.banner":"పెద్ద వ్యత్యాసం కనుగొనబడింది — ఒకేసారి ఒక ఫైల్ చూపబడుతోంది.","codex.review.loadFullFiles.disable":"Don't load full files","codex.review.loadFullFiles.enable":"Load full files","codex.review.noDiff":"File changes will appear here","codex.review.noDiff.gitInit.createRepository":"గిట్ రిపోజిటరీని సృష్టించండి","codex.review.noDiff.gitInit.creating":"సృష్టిస్తోంది...","codex.review.noDiff.gitInit.error":"Git init failed: {message}","codex.review.noDiff.gitInit.success":"Git repository created","codex.review.noDiff.gitRepoRequired.description":"ఈ ప్రాజెక్ట్‌లోని మార్పులను ట్రాక్ చేయండి మరియు రద్దు చేయండి","codex.review.noDiff.gitRepoRequired.title":"Create a Git repository","codex.review.noDiff.orNoLongerAvailable":"or the latest diffs are no longer available","codex.review.noDiff.reverted":"చివరి మలుపు తిరిగి మార్చబడింది","codex.review.noDiff.revertedOrCommitted":"చివరి మలుపు తిరిగి మార్చబడింది లేదా కట్టుబడి ఉంది.","codex.review.refreshGitQueries":"రిఫ్రెష్ చేయండి","codex.review.revert.file.error":"{path}ని తిరిగి మార్చడంలో విఫలమైంది","codex.review.revert.file.partialSuccess":"{path} పాక్షికంగా తిరిగి మార్చబడింది","codex.review.revert.file.success":"{path} తిరిగి మార్చబడింది","codex.review.revert.hunk.error":"{path}లో {hunkNumber} హంక్‌ను తిరిగి ఇవ్వడంలో విఫలమైంది","codex.review.revert.hunk.partialSuccess":"{path}లో {hunkNumber} హంక్‌ను పాక్షికంగా తిరిగి మార్చబడింది","codex.review.revert.hunk.success":"{path}లో {hunkNumber} హంక్ తిరిగి మార్చబడింది","codex.review.revert.section.error":"విభాగాన్ని తిరిగి మార్చడంలో విఫలమైంది","codex.review.revert.section.partialSuccess":"విభాగం పాక్షికంగా తిరిగి మార్చబడింది","codex.review.revert.section.success":"విభాగం తిరిగి మార్చబడింది","codex.review.revertDialog.cancel":"రద్దు చేయండి","codex.review.revertDialog.confirm":"నిర్ధారించండి","codex.review.revertDialog.message":"ఈ చర్య ఈ మార్పులన్నింటినీ తీసివేస్తుంది.","codex.review.revertDialog.skip":"మళ్లీ అడగకండి","codex.review.revertDialog.title":"మార్పులను తిరిగి మార్చాలా?","codex.review.richPreview.disable":"రిచ్ ప్రివ్యూను నిలిపివేయండి","codex.review.richPreview.enable":"రిచ్ ప్రివ్యూను ప్రారంభించండి","codex.review.source.cloud":"క్లౌడ్ మార్పులు","codex.review.source.local.all":"అన్ని శాఖ మార్పులు","codex.review.source.local.lastTurn":"చివరి మలుపు మార్పులు","codex.review.source.local.uncommitted":"అంగీకరించని మార్పులు","codex.review.source.worktree":"కమిట్ చేయని వర్క్‌ట్రీ మార్పులు","codex.review.stageFilter.empty.staged.description":"వాటిని ప్రదర్శించడానికి సవరణలను ఆమోదించండి","codex.review.stageFilter.empty.staged.title":"ఏ మార్పులూ ప్రదర్శించబడలేదు","codex.review.stageFilter.empty.unstaged.description":"కోడ్ మార్పులు ఇక్కడ కనిపిస్తాయి","codex.review.stageFilter.empty.unstaged.title":"మార్పులు ఏవీ స్టేజ్ చేయబడలేదు","codex.review.stageFilter.staged":"స్టేజ్డ్","codex.review.stageFilter.staged.count":"స్టేజ్డ్ · {count}","codex.review.stageFilter.unstaged":"అన్‌స్టేజ్డ్","codex.review.stageFilter.unstaged.count":"అన్‌స్టేజ్డ్ · {count}","codex.review.switchToSplit":"Switch to split diff","codex.review.switchToUnified":"ఏకీకృత తేడాకు మారండి","codex.review.toggleDiffView":"తేడా వీక్షణను టోగుల్ చేయండి","codex.review.wordDiffs.disable":"పదాల తేడాలను డిసేబుల్ చేయండి","codex.review.wordDiffs.enable":"పదాల తేడాలను ఎనేబుల్ చేయండి","codex.review.wrap.disable":"వర్డ్ ర్యాప్‌ను డిసేబుల్ చేయండి","codex.review.wrap.enable":"వర్డ్ ర్యాప్‌ను ఎనేబుల్ చేయండి","codex.section.patch.missing":"Unable to build patch for this section.","codex.shell.collapse":"షెల్‌ను కుదించు","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"షెల్ కంటెంట్‌లను కాపీ చేసారు","codex.shell.copy.copyTooltip":"షెల్ కంటెంట్‌లను కాపీ చేయండి","codex.shell.copyCommand":"కాపీ ఆదేశం","codex.shell.copyOutput":"అవుట్‌పుట్‌ను కాపీ చేయి","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"బాష్","codex.shell.expand":"షెల్‌ను విస్తరించండి","codex.shell.name":"షెల్","codex.shell.noOutput":"అవుట్‌పుట్ లేదు","codex.signInFailed.message":"సైన్ ఇన్ విఫలమైంది{rawMessage}","codex.stories.toast.show":"టోస్ట్ చూపించు","codex.stories.tooltip.basic":"ఇది ఒక టూల్‌టిప్","codex.stories.tooltip.hoverMe":"సంభాషణను ప్రారంభించలేకపోయాము.","codex.stories.tooltip.largerOffset":"ఈ టూల్‌టిప్‌లో పెద్ద ఆఫ్‌సెట్ ఉంది.","codex.stories.tooltip.offsetButton":"పెద్ద ఆఫ్‌సెట్","codex.stories.tooltip.shortcutButton":"షార్ట్‌కట్‌తో","codex.stories.tooltip.withShortcut":"టెర్మినల్‌ను టోగుల్ చేయండి","codex.taskRow.title":"కొత్త థ్రెడ్","codex.taskRowLayout.confirm":"నిర్ధారించండి","codex.threadFindBar.chatFilter":"Search chat","codex.threadFindBar.close":"Close find","codex.threadFindBar.diffFilter":"Search diffs","codex.threadFindBar.label":"Find in thread","codex.threadFindBar.nextResult":"Next result","codex.threadFindBar.noResults":"0 ఫలితాలు","codex.threadFindBar.placeholder":"థ్రెడ్‌లో శోధించండి…","codex.threadFindBar.placeholder.extension":"Search thread…","codex.threadFindBar.placeholder.review":"తేడాలను శోధించండి...","codex.threadFindBar.placeholder.review.extension":"తేడాలను శోధించండి...","codex.threadFindBar.previousResult":"Previous result","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {ఫైల్ మార్చబడింది#} other {# ఫైల్‌లు మార్చబడ్డాయి}}","codex.unifiedDiff.inlineLargeFile":"ఇన్‌లైన్‌లో రెండర్ చేయడానికి చాలా పెద్దది","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"అన్‌డూ చేయి","codex.unifiedDiff.revertPatchError":"మార్పులను తిరిగి మార్చడంలో విఫలమైంది","codex.unifiedDiff.revertPatchSuccess":"మార్పులు తిరిగి మార్చబడ్డాయి","codex.unifiedDiff.reviewChangesSuffix":"మార్పులు","codex.unifiedDiff.reviewShort":"సమీక్ష","codex.unifiedDiff.viewDiffTooltip":"సమీక్ష","codex.upsellBanner.business.headline":"ఇప్పుడే మరింత ప్రాప్యత పొందడానికి, మీ నిర్వాహకుడికి అభ్యర్థన పంపండి లేదా {resetDate} వరకు వేచి ఉండండి","codex.upsellBanner.cbp.headline":"ఇప్పుడే మరింత యాక్సెస్ పొందడానికి, మీ నిర్వాహకుడికి అభ్యర్థన పంపండి.","codex.upsellBanner.cta.addCredits":"క్రెడిట్‌లను జోడించండి","codex.upsellBanner.cta.upgradeAccount":"అప్‌గ్రేడ్ చేయండి","codex.upsellBanner.cta.viewUsage":"వాడుకను చూడండి","codex.upsellBanner.free.trialHeadline":"{resetDate} నాడు మీ రేట్ పరిమితి రీసెట్ అవుతుంది. Codex‌ను ఉపయోగించడం కొనసాగించడానికి మరియు GPT-5.3-కోడెక్స్‌కు ప్రాప్యత పొందడానికి, ఈరోజే మీ ఉచిత Plus ట్రయల్‌ను ప్రారంభించండి.","codex.upsellBanner.freeOrGo.headline":"మీ రేట్ పరిమితి {resetDate} వద్ద రీసెట్ అవుతుంది. Codex‌ను ఉపయోగించడం కొనసాగించడానికి, ఈరోజే Plusకు అప్‌గ్రేడ్ చేయండి.","codex.upsellBanner.general.headline":"మీ రేట్ పరిమితి {resetDate} వద్ద రీసెట్ చేయబడుతుంది.","codex.upsellBanner.general.title":"మీ Codex సందేశాలు అయిపోయాయి","codex.upsellBanner.go.trialHeadline":"మీ రేట్ పరిమితి {resetDate} వద్ద రీసెట్ అవుతుంది. కోడెక్స్‌ను ఉపయోగించడం కొనసాగించడానికి, ఈరోజే Plus యొక్క మీ ఉచిత ట్రయల్‌ను ప్రారంభించండి.","codex.upsellBanner.plus.headline":"మీ రేట్ పరిమితి {resetDate} వద్ద రీసెట్ అవుతుంది. Codex‌ను ఉపయోగించడం కొనసాగించడానికి, క్రెడిట్‌లను జోడించండి లేదా ఈరోజే ప్రోకు అప్‌గ్రేడ్ చేయండి.","codex.upsellBanner.pro.headline":"మీ రేట్ పరిమితి {resetDate} వద్ద రీసెట్ అవుతుంది. Codex‌ను ఇప్పుడు ఉపయోగించడం కొనసాగించడానికి క్రెడిట్‌లను జోడించండి.","codex.userMessage.autoResolveSync":"వైరుధ్యాలను స్వయంచాలకంగా పరిష్కరించండి","codex.userMessage.commentCount":"{count, plural, one {#కామెంట్} other {# కామెంట్‌లు}}","codex.userMessage.copiedAriaLabel":"కాపీ అయింది","codex.userMessage.copiedTooltip":"కాపీ అయింది","codex.userMessage.copyAriaLabel":"సందేశం కాపీ చేయి","codex.userMessage.copyTooltip":"కాపీ చేయండి","codex.userMessage.implementPlan":"Implement plan","codex.userMessage.noContent":"(కంటెంట్ లేదు)","codex.userMessage.priorConversation":"సంభాషణకు ముందు సూచనలు","codex.userMessage.reviewMode":"సమీక్ష మోడ్","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} కోసం","codex.webSearch.summary.verb.completed":"వెబ్‌లో వెతికించబడింది","codex.webSearch.summary.verb.inProgress":"వెబ్‌లో వెతుకుతోంది","codex.windowsInstallWslBanner.dismiss":"విస్మరించండి","codex.windowsInstallWslBanner.installWslCta":"శాండ్‌బాక్స్‌ను ఎనేబుల్ చేయండి","codex.windowsInstallWslBanner.learnMore":"మరింత తెలుసుకోండి","codex.windowsSandboxBanner.content":"ఫైల్‌సిస్టమ్ మరియు నెట్‌వర్క్ యాక్సెస్‌ను పరిమితం చేయడానికి ఏజెంట్ మోడ్ Windowsలో ప్రయోగాత్మక శాండ్‌బాక్స్‌ను ఉపయోగిస్తుంది. {sandboxLink}","codex.windowsSandboxBanner.title":"ఏజెంట్ మోడ్ కోసం శాండ్‌బాక్స్‌ను ఎనేబుల్ చేయండి","codex.windowsSubDropdown.windowsSandbox":"Windows శాండ్‌బాక్స్","codex.windowsSubDropdown.windowsSettings":"Windows సెట్టింగ్‌లు","codexUpgradeModal.body":"మా సరికొత్త ఫ్రాంటియర్ ఏజెంటిక్ కోడింగ్ నమూనా — మరింత తెలివైనది, వేగవంతమైనది మరియు సాధారణ సాంకేతిక పనులలో మరింత సామర్థ్యం కలది. {link}","codexUpgradeModal.close":"మూసివేయి","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"మరింత తెలుసుకోండి","codexUpgradeModal.title":"GPT-5.3-Codex‌ను పరిచయం చేస్తున్నాము","codexUpgradeModal.tryNewModel":"ఇప్పుడు GPT-5.3-Codex‌ను ప్రయత్నించండి","codexUpgradeModal.useExistingModel":"ప్రస్తుత నమూనా‌తో కొనసాగండి","commentAttachments.numComments":"{count, plural, one {#కామెంట్} other {# కామెంట్‌లు}}","commentAttachments.removeAriaLabel":"వ్యాఖ్యల అటాచ్‌మెంట్‌ను తీసివేయండి","common.close":"మూసివేయి","composer.addContext.openFilePickerError":"ఫైల్ పికర్‌ను తెరవలేకపోయాము","composer.addContextDropdown.ariaLabel":"ఫైల్‌లను మరియు మరిన్ని జోడించండి","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ఫైల్‌లను మరియు మరిన్ని జోడించండి","composer.addPhotosAndFiles":"ఫోటోలను మరియు ఫైల్‌లను జోడించు","composer.atMentionList.emptyQuery":"ఫైల్‌ల కోసం శోధించడానికి టైప్ చేయండి","composer.atMentionList.loading":"శోధిస్తోంది...","composer.atMentionList.noResults":"ఫలితాలు లేవు","composer.attemptsSelector.option":"{count, plural, one {# వెర్షన్} other {# వెర్షన్‌లు}}","composer.attemptsSelector.tooltip":"Codex చేయడానికి సమాంతర ప్రయత్నాల సంఖ్య","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"ఆపు","composer.cloudFollowUp.cloud":"క్లౌడ్","composer.cloudFollowUp.local":"లోకల్","composer.cloudFollowUp.whereRun":"ఈ ఫాలో-అప్ ఎక్కడ జరగాలి?","composer.cloudTaskCreationError":"క్లౌడ్ టాస్క్‌ను సృష్టించడంలో ఎర్రర్ ఏర్పడింది","composer.cloudTaskError":"టాస్క్‌ను సృష్టించడంలో ఎర్రర్ ఏర్పడింది","composer.contextWindow.autoCompactionTooltipLine1":"Codex దాని సందర్భాన్ని స్వయంచాలకంగా కుదిస్తుంది","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"సందర్భ విండో:","composer.contextWindowUsageStatusFull":"{usage}% ఫుల్ అయింది","composer.contextWindowUsageStatusLeft":"{usage}% ఉపయోగించబడింది ({remaining}% మిగిలి ఉంది)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k టోకెన్లు ఉపయోగించబడ్డాయి","composer.customCliTooltip":"కస్టమ్ CLI ఎగ్జిక్యూటబుల్‌ను ఉపయోగించడం","composer.dictation.aria":"డిక్టేట్","composer.dictation.cancel.aria":"డిక్టేషన్‌ను ఆపు","composer.dictation.cancel.tooltip":"డిక్టేషన్‌ను ఆపు","composer.dictation.startError":"డిక్టేషన్‌ను ప్రారంభించలేకపోయాము","composer.dictation.submit.aria":"లిప్యంతరీకరణ చేసి పంపండి","composer.dictation.submit.tooltip":"లిప్యంతరీకరణ చేసి పంపండి","composer.dictation.tooltip":"డిక్టేట్ చేయడానికి నొక్కి పట్టుకోండి","composer.dictation.transcribeError":"ఆడియోను లిప్యంతరీకరించడం సాధ్యం కాలేదు","composer.dictation.unsupported":"ఈ పరికరంలో డిక్టేషన్ అందుబాటులో లేదు","composer.dropOverlay.holdShift":"వదలడానికి {key}ని పట్టుకోండి","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"కొత్త PR‌ను సృష్టించండి","composer.environmentSelector.error":"పర్యావరణాన్ని లోడ్ చేయడంలో లోపం ఏర్పడింది","composer.environmentSelector.goBack":"స్వరకర్తకి తిరిగి వెళ్ళండి","composer.environmentSelector.title":"పర్యావరణాన్ని ఎంచుకోండి","composer.environmentSelector.tooltip":"క్లౌడ్ వాతావరణాన్ని ఎంచుకోండి","composer.feedbackSlashCommand.title":"ఫీడ్‌బ్యాక్‌","composer.filePicker.selectFile":"ఒక ఫైల్‌ను ఎంచుకోండి","composer.filePicker.selectFiles":"ఫైల్‌లను ఎంచుకోండి","composer.followerTooltip":"కొనసాగించడానికి, ఈ సంభాషణ ప్రారంభమైన విండోకు తిరిగి వెళ్ళండి.","composer.footer.branchSwitch.checkoutError":"బ్రాంచ్‌ను మార్చడంలో విఫలమైంది: {message}","composer.footer.branchSwitch.createAndCheckout":"కొత్త బ్రాంచ్‌ను సృష్టించి, దానికి మారండి…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"కొత్త బ్రాంచ్‌ను సృష్టించి, దానికి మారడానికి మార్పులను కమిట్ చేయండి","composer.footer.branchSwitch.createBranchError":"బ్రాంచ్ సృష్టించడంలో విఫలమైంది: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"శాఖ పేరు","composer.footer.branchSwitch.createDialog.branchExistsError":"బ్రాంచ్ ఇప్పటికే ఉంది.","composer.footer.branchSwitch.createDialog.close":"మూసివేయి","composer.footer.branchSwitch.createDialog.createAndCheckout":"సృష్టించు మరియు చెక్అవుట్ చేయి","composer.footer.branchSwitch.createDialog.placeholder":"కొత్త శాఖ","composer.footer.branchSwitch.createDialog.title":"శాఖను సృష్టించండి మరియు చెక్అవుట్ చేయండి","composer.footer.branchSwitch.createDialog.trailingSlashError":"బ్రాంచ్ పేరు “/” తో ముగియకూడదు.","composer.footer.branchSwitch.tooltip":"శాఖను మార్చండి","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName}ని తనిఖీ చేయడానికి {fileCount, plural, one {# ఫైల్} other {# ఫైల్‌లు}}లో మార్పులకు కట్టుబడి ఉండండి.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"కమిట్ చేయండి","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName}ని తనిఖీ చేయడానికి {fileCount, plural, one {# ఫైల్} other {# ఫైల్‌లు}}లో మార్పులు.","composer.footer.branchSwitch.uncommittedDialog.cancel":"రద్దు చేయండి","composer.footer.branchSwitch.uncommittedDialog.commit":"బ్రాంచ్‌ను కమిట్ చేసి మార్చండి...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"కింది ఫైల్‌లకు మీరు చేసిన మార్పులు చెక్అవుట్ ద్వారా ఓవర్రైట్ చేయబడతాయి:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"కొనసాగించడానికి దయచేసి మీ మార్పులను కమిట్ చేయండి","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ఎంచుకున్న శాఖ","composer.footer.branchSwitch.uncommittedDialog.title":"బ్రాంచ్ మారడానికి మార్పులను కమిట్ చేయండి","composer.footer.branchSwitch.uncommittedSummaryPrefix":"నిబద్ధత లేనిది: {fileCount, plural, one {# ఫైల్} other {# ఫైల్‌లు}}","composer.forkSlashCommand.description":"ఈ థ్రెడ్‌ను లోకల్ లేదా కొత్త వర్క్‌ట్రీలోకి ఫోర్క్ చేయండి","composer.forkSlashCommand.option.local.description":"కొత్త స్థానిక థ్రెడ్‌లో కొనసాగించండి","composer.forkSlashCommand.option.local.title":"స్థానికంగా ఫోర్క్ చేయండి","composer.forkSlashCommand.option.worktree.description":"కొత్త వర్క్‌ట్రీలో కొనసాగించండి","composer.forkSlashCommand.option.worktree.title":"కొత్త వర్క్‌ట్రీలోకి ఫోర్క్ చేయండి","composer.forkSlashCommand.title":"ఫోర్క్","composer.ideContextIndicator":"IDE సందర్భం","composer.ideContextIndicator.tooltipSlashCommand":"/ఐడిఇ","composer.ideContextIndicator.tooltipText":"IDE నుండి సందర్భాన్ని చేర్చండి","composer.ideContextIndicator.tooltipToggle":"టాగల్ చేయడానికి","composer.ideContextSlashCommand.disableDescription":"IDE సందర్భాన్ని ఆఫ్ చేయండి","composer.ideContextSlashCommand.enableDescription":"మీ IDE నుండి ప్రస్తుత ఎంపిక, తెరిచిన ఫైల్‌లు మరియు ఇతర సందర్భాలను చేర్చండి","composer.ideContextSlashCommand.title":"IDE సందర్భం","composer.imageInputsUnsupported":"ఈ నమూనా చిత్ర రూపంలో ఉండే ఇన్‌పుట్‌లకు మద్దతు ఇవ్వదు. దయచేసి వేరే నమూనా‌ను ప్రయత్నించండి.","composer.imageUploadFailed":"చిత్రాన్ని అప్‌లోడ్ చేయడం విఫలమైంది","composer.includeIdeContextDropdown":"IDE సందర్భాన్ని చేర్చండి","composer.includeIdeContextDropdown.ariaLabel":"IDE సందర్భాన్ని చేర్చండి","composer.localCwdDropdown.addWorkspaceRoot":"కొత్త ప్రాజెక్ట్‌ను జోడించండి","composer.localCwdDropdown.noActiveRoot":"మీ ప్రాజెక్ట్‌ను ఎంచుకోండి","composer.localCwdDropdown.noResults":"ఫోల్డర్‌లు ఏవీ కనుగొనబడలేదు","composer.localCwdDropdown.title":"మీ ప్రాజెక్ట్‌ను ఎంచుకోండి","composer.localTaskError":"సంభాషణను ప్రారంభించడంలో లోపం ఏర్పడింది","composer.mcpSlashCommand.description":"MCP సర్వర్ స్థితిని చూపండి","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ప్రామాణీకరించబడలేదు","composer.mcpStatus.authOauth":"ప్రామాణీకరించబడింది (OAuth)","composer.mcpStatus.authToken":"ప్రామాణీకరించబడింది (API కీ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"మూసివేయి","composer.mcpStatus.disabled":"డిసేబుల్ చేయబడింది","composer.mcpStatus.emptyLabel":"సర్వర్లు:","composer.mcpStatus.emptyValue":"MCP సర్వర్లు ఏవీ కాన్ఫిగర్ చేయబడలేదు","composer.mcpStatus.enabled":"ఎనేబుల్ చేయండి","composer.mcpStatus.errorLabel":"స్థితి:","composer.mcpStatus.errorValue":"MCP స్థితిని లోడ్ చేయలేకపోయింది","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ఏజెంట్","composer.mode.agentMode.auto.dropdownLabel":"ఏజెంట్","composer.mode.agentMode.auto.optionLabel":"ఏజెంట్","composer.mode.agentMode.changePermission":"మోడల్‌ను మార్చు","composer.mode.agentMode.custom":"కస్టమ్","composer.mode.agentMode.custom.dropdownLabel":"కస్టమ్","composer.mode.agentMode.custom.option":"కస్టమ్ (config.toml)","composer.mode.agentMode.custom.optionLabel":"కస్టమ్ (config.toml)","composer.mode.agentMode.customInfo.cancel":"రద్దు చేయండి","composer.mode.agentMode.customInfo.cli":"మీరు ఆ సెట్టింగులను CLI నుండి లేదా ఫైల్‌ను నేరుగా సవరించడం ద్వారా సర్దుబాటు చేయవచ్చు.","composer.mode.agentMode.customInfo.confirm":"కస్టమ్ మోడ్‌ను ఉపయోగించండి","composer.mode.agentMode.customInfo.description":"మీలో నిర్వచించిన ఆమోదం మరియు శాండ్‌బాక్స్ విధానాలను అనుకూల మోడ్ వర్తింపజేస్తుంది<link>config.toml</link> ఫైల్.","composer.mode.agentMode.customInfo.docs":"ఆమోదం మరియు శాండ్‌బాక్స్ విధానాలను కాన్ఫిగర్ చేయడం గురించి మరింత తెలుసుకోండి<link>అమలు పర్యావరణ పత్రాలు</link>.","composer.mode.agentMode.customInfo.refresh":"ఏవైనా మార్పులు తదుపరిసారి ఏజెంట్ అమలులోకి వచ్చినప్పుడు అమలులోకి వస్తాయి.","composer.mode.agentMode.customInfo.title":"కస్టమ్ మోడ్ ఎలా పనిచేస్తుంది","composer.mode.agentMode.fullAccess":"ఏజెంట్ (పూర్తి ప్రాప్యత)","composer.mode.agentMode.fullAccess.dropdownLabel":"ఏజెంట్ (పూర్తి ప్రాప్యత)","composer.mode.agentMode.fullAccess.optionLabel":"ఏజెంట్ (పూర్తి ప్రాప్యత)","composer.mode.agentMode.fullAccessConfirm.caution":"పూర్తి యాక్సెస్‌ను ప్రారంభించేటప్పుడు జాగ్రత్తగా ఉండండి. ఇది డేటా నష్టం, లీక్‌లు లేదా ఊహించని ప్రవర్తన ప్రమాదాన్ని గణనీయంగా పెంచుతుంది.","composer.mode.agentMode.fullAccessConfirm.confirm":"అవును, ఏదేమైనా కొనసాగించు","composer.mode.agentMode.fullAccessConfirm.description":"Codex పూర్తి యాక్సెస్‌తో నడుస్తున్నప్పుడు, అది మీ కంప్యూటర్‌లోని ఏ ఫైల్‌ను అయినా సవరించగలదు మరియు మీ అనుమతి లేకుండానే నెట్‌వర్క్‌తో ఆదేశాలను అమలు చేయగలదు.","composer.mode.agentMode.fullAccessConfirm.goBack":"రద్దు చేయండి","composer.mode.agentMode.fullAccessConfirm.title":"పూర్తి యాక్సెస్‌ను ప్రారంభించాలా?","composer.mode.agentMode.readOnly":"చాట్ చేయి","composer.mode.agentMode.readOnly.dropdownLabel":"చాట్","composer.mode.agentMode.readOnly.optionLabel":"చాట్","composer.mode.agentMode.tooltip":"మోడల్‌ను మార్చు","composer.mode.agentMode.tooltip.auto":"ఫైళ్ళను చదవండి మరియు సవరించండి మరియు ఆదేశాలను అమలు చేయండి.","composer.mode.agentMode.tooltip.custom":"config.toml లో నిర్వచించబడిన తాజా ఆమోదం మరియు శాండ్‌బాక్స్ విధానాలను ఉపయోగించండి.","composer.mode.agentMode.tooltip.fullAccess":"Codex ప్రాజెక్ట్ వెలుపల ఉన్న ఫైల్‌లను సవరించగలదు మరియు నెట్‌వర్క్ ప్రాప్యత‌తో ఆదేశాలను అమలు చేయగలదు. ఉపయోగిస్తున్నప్పుడు జాగ్రత్తగా ఉండండి.","composer.mode.agentMode.tooltip.readOnly":"ఫైళ్లను సవరించడానికి మరియు ఆదేశాలను అమలు చేయడానికి ఆమోదం అవసరం.","composer.mode.cloud.tooltip":"క్లౌడ్ వాతావరణంలో పని చేయండి","composer.mode.contactAdmin":"మరిన్ని యాక్సెస్ పొందడానికి, మీ నిర్వాహకుడిని సంప్రదించండి","composer.mode.local":"లోకల్","composer.mode.local.learnMore":"మరింత తెలుసుకోండి","composer.mode.local.model.custom":"కస్టమ్","composer.mode.local.model.loadingModel":"మోడల్ లోడ్ అవుతోంది","composer.mode.local.model.selecrReasoningEffort":"తార్కికతను ఎంచుకోండి","composer.mode.local.model.selectModel":"మోడల్‌ని ఎంచుకోండి","composer.mode.local.model.tooltip":"నమూనా‌ను ఎంచుకోండి","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"అధికం","composer.mode.local.reasoning.low.label":"తక్కువ","composer.mode.local.reasoning.medium.label":"మధ్యస్థం","composer.mode.local.reasoning.minimal.label":"కనిష్ట","composer.mode.local.reasoning.none.label":"ఏదీ లేదు","composer.mode.local.reasoning.xhigh.label":"చాలా ఎక్కువ","composer.mode.localRemoteWhereRun":"పనిని ఎక్కడ అమలు చేయాలో ఎంచుకోండి","composer.mode.newTask.header":"దీనిలో కొనసాగించండి","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"మిగిలిన రేటు పరిమితులు","composer.mode.rateLimit.hour":"{hours}గంటలు","composer.mode.rateLimit.minute":"{minutes}నిమిషాలు","composer.mode.rateLimit.modelSectionLabel":"{modelName} పరిమితి:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {వారపు పరిమితి} other {{weeks} వారాల పరిమితి}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ప్రతి వారం} other {{weeks} వారం}}","composer.mode.remote.connectToCloud":"Codex వెబ్‌ను కనెక్ట్ చేయండి","composer.mode.remote.connectToCloudDisabledTooltip":"క్లౌడ్‌కు పనులను పంపడాన్ని ప్రారంభించడానికి Codex వెబ్ ద్వారా వాతావరణాన్ని సెటప్ చేయండి.","composer.mode.remote.selectEnvironment":"పర్యావరణాన్ని ఎంచుకోండి","composer.mode.remote.sendToCloud":"క్లౌడ్‌కు పంపండి","composer.mode.remote.setupViaWeb":"Codex వెబ్ ద్వారా పర్యావరణాన్ని సెటప్ చేయండి","composer.mode.runInCloud":"క్లౌడ్","composer.mode.runInCloudWithEnvironment":"క్లౌడ్ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"క్లౌడ్ వాతావరణంలో పని చేయండి","composer.mode.segmentedToggle.local.tooltip":"మీ స్థానిక ప్రాజెక్ట్‌లో పని చేయండి","composer.mode.segmentedToggle.worktree.tooltip":"సమాంతర వర్క్‌ట్రీలో పని చేయండి","composer.mode.upgradeToPlus":"ప్లస్‌కి అప్‌గ్రేడ్ చేయండి","composer.mode.upgradeToPro":"Proకి అప్‌గ్రేడ్ చేయి","composer.mode.workLocally":"స్థానిక ప్రాజెక్ట్","composer.mode.workLocally.currentBranchFallback":"మీ శాఖ","composer.mode.workLocally.tooltip":"{branchName}లోని పని","composer.mode.worktree":"కొత్త వర్క్‌ట్రీ","composer.mode.worktree.submoduleWarning":"ఈ రెపోలో గిట్ సబ్‌మాడ్యూల్స్ ఉన్నాయి. వర్క్‌ట్రీ సృష్టి విఫలం కావచ్చు","composer.mode.worktree.tooltip":"సమాంతరంగా పని చేయడానికి మీ స్థానిక ప్రాజెక్ట్ యొక్క కాపీని సృష్టించండి.","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"సంభాషణ మధ్యలో మోడల్‌లను మార్చడం వల్ల పనితీరు తగ్గుతుంది.","composer.newChat.heading.browser":"మనము తర్వాత ఏమి కోడ్ చేయాలి?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex config.tomlలో నిర్వచించిన అనుమతిని ఉపయోగిస్తుంది.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codexకు మీ కంప్యూటర్‌పై పూర్తి ప్రాప్యత ఉంది (అధిక ప్రమాదం)","composer.permissionsDropdown.custom.label":"కస్టమ్ (config.toml)","composer.permissionsDropdown.custom.optionLabel":"కస్టమ్ (config.toml)","composer.permissionsDropdown.default.label":"డిఫాల్ట్ అనుమతులు","composer.permissionsDropdown.default.optionLabel":"డిఫాల్ట్ అనుమతులు","composer.permissionsDropdown.default.tooltip":"Codex స్వయంచాలకంగా శాండ్‌బాక్స్‌లో ఆదేశాలను అమలు చేస్తుంది","composer.permissionsDropdown.disabled.requirements":"అనుమతులు requirements.toml ద్వారా లాక్ చేయబడ్డాయి.","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml ద్వారా పూర్తి ప్రాప్యత డిసేబుల్ చేయబడింది","composer.permissionsDropdown.fullAccess.label":"పూర్తి ప్రాప్యత","composer.permissionsDropdown.fullAccess.optionLabel":"పూర్తి ప్రాప్యత","composer.permissionsDropdown.trigger.tooltip":"అనుమతులను మార్చండి","composer.personalitySlashCommand.description.friendly":"వెచ్చని, సహకారపూర్వక మరియు సహాయకరమైనది","composer.personalitySlashCommand.description.pragmatic":"సంక్షిప్తమైన, పనిపై దృష్టి సారించిన మరియు సూటిగా ఉండేది.","composer.personalitySlashCommand.label.friendly":"స్నేహపూర్వక","composer.personalitySlashCommand.label.pragmatic":"ఆచరణాత్మకం","composer.personalitySlashCommand.notApplicableSuffix":"(ప్రస్తుత నమూనా‌కు ఇది వర్తించదు)","composer.personalitySlashCommand.title":"వ్యక్తిత్వం","composer.placeholder.cloudFollowUp.directFollowUp":"Follow-up to this cloud task","composer.placeholder.cloudFollowUp.local":"Create a new local task that references this cloud task","composer.placeholder.cloudFollowUp.workingTree":"Create a new cloud task that includes your current code and will reference this task","composer.placeholder.localFollowUp.cloud":"Follow-up in a new cloud task","composer.placeholder.localFollowUp.locally":"Ask for follow-up changes","composer.placeholder.newTask.cloud":"Ask Codex to do anything in the cloud","composer.placeholder.newTask.doAnything":"ఏదైనా చేయమని Codex‌ని అడగండి","composer.placeholder.newTask.locally":"Ask Codex anything, @ to add files, / for commands","composer.planModeDropdown":"ప్రణాళిక మోడ్","composer.planModeDropdown.ariaLabel":"ప్రణాళిక మోడ్","composer.planModeIndicator":"ప్లాన్ చేయండి","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codexతో ఒక ప్రణాళికను సృష్టించండి","composer.planModeIndicator.tooltipToggle":"టాగల్ చేయడానికి","composer.planSlashCommand.disableDescription":"ప్లాన్ మోడ్‌ను ఆఫ్ చేయండి","composer.planSlashCommand.enableDescription":"ప్లాన్ మోడ్‌ను ఆన్ చేయండి","composer.planSlashCommand.title":"ప్రణాళిక మోడ్","composer.priorContext.label":"మునుపటి సందర్భం","composer.priorContext.removeAriaLabel":"మునుపటి సందర్భాన్ని తీసివేయండి","composer.queuedMessage.delete":"క్యూలో ఉన్న సందేశాన్ని తొలగించండి","composer.queuedMessage.edit":"సందేశాన్ని సవరించండి","composer.queuedMessage.more":"క్యూలో ఉన్న సందేశ చర్యలు","composer.queuedMessage.sendNow":"స్టీర్","composer.queuedMessage.sendNowTooltip":"పనికి అంతరాయం కలగకుండా ఇప్పుడే పంపండి","composer.queuedMessage.turnOff":"క్యూయింగ్‌ను ఆఫ్ చేయండి","composer.reasoningEffort.local.reasoning.tooltip":"తార్కిక ప్రయత్నాన్ని ఎంచుకోండి","composer.remote.branchStartingPoint":"ఈ పని ఏ శాఖ నుండి ప్రారంభం కావాలి?","composer.remote.branchesSectionHeading":"శాఖలు","composer.remote.currentEditsSuffix.followUp":"ఈ క్లౌడ్ టాస్క్‌ను సూచించే కొత్త టాస్క్‌ను సృష్టించండి.","composer.remote.currentEditsSuffix.useLocal":"స్థానిక కోడ్ మార్పులతో","composer.remote.directFollowUp":"స్థానిక మార్పులను ఉపయోగించవద్దు","composer.remote.errorLoadingBranches":"శాఖలను లోడ్ చేయడంలో లోపం","composer.remote.fromBranch":"{branch} నుండి","composer.remote.fromCurrentBranch":"{branch} నుండి (ప్రస్తుతం)","composer.remote.loadingMoreBranches":"లోడ్ అవుతోంది…","composer.remote.localFileStateHeading":"స్థానిక ఫైల్ స్థితి","composer.remote.localWorkingTree":"స్థానిక మార్పులను ఉపయోగించండి","composer.remote.startingPoint":"ఈ పని ఏ కోడ్ నుండి ప్రారంభం కావాలి?","composer.reviewMode.branches.error":"శాఖలను లోడ్ చేయడం సాధ్యం కాలేదు","composer.reviewMode.branches.retry":"మళ్లీ ప్రయత్నించండి","composer.reviewMode.gitRoot.error":"Git రూట్ దొరకలేదు.","composer.reviewMode.option.baseBranch.simple":"బేస్ బ్రాంచ్ పై సమీక్ష","composer.reviewMode.option.unstaged.simple":"చేయని మార్పులను సమీక్షించండి","composer.reviewMode.quickReviewError":"కోడ్ సమీక్షను ప్రారంభించడంలో విఫలమైంది.","composer.reviewMode.title":"కోడ్ సమీక్ష","composer.sandboxButton.unlock.disabled.tooltip":"Full access is disabled by requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"ఫైల్‌సిస్టమ్ మరియు నెట్‌వర్క్ ప్రాప్యతను పరిమితం చేయడానికి Codex విండోస్‌లో ప్రయోగాత్మక శాండ్‌బాక్స్‌ను ఉపయోగించవచ్చు. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"విండోస్ శాండ్‌బాక్స్‌ను ప్రారంభించాలా?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"చదవడానికి మాత్రమే ఉపయోగించండి","composer.searchEnvironments":"పర్యావరణాలను శోధించండి","composer.skillMentionList.app":"యాప్","composer.skillMentionList.loading":"నైపుణ్యాలను లోడ్ చేస్తోంది...","composer.skillMentionList.noResults":"నైపుణ్యాలు ఏవీ కనుగొనబడలేదు","composer.slashCommands.cloudEnvironment.title":"v","composer.slashCommands.dialogLabel":"స్లాష్ కమాండ్ మెనూ","composer.slashCommands.dialogTitle":"స్లాష్ ఆదేశాలు","composer.slashCommands.disabledTooltip":"స్లాష్ ఆదేశాలను ఉపయోగించడానికి కొత్త సంభాషణను ప్రారంభించండి","composer.slashCommands.inputPlaceholder":"శోధించండి","composer.slashCommands.noResults":"ఆదేశాలు లేవు","composer.slashCommands.skillsGroup":"నైపుణ్యాలు","composer.slashCommands.tooltip":"స్లాష్ ఆదేశాలను బ్రౌజ్ చేయండి","composer.status.close":"మూసివేయి","composer.statusPlain.alertLabel":"అప్రమత్తం","composer.statusPlain.alertValue":"{window}లో {remaining}% మిగిలి ఉంది","composer.statusPlain.contextLabel":"సందర్భం:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ఉపయోగించబడింది / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% మిగిలి ఉంది","composer.statusPlain.heading":"స్థితి","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} పరిమితి:","composer.statusPlain.rateLimitDays":"{count}d పరిమితి","composer.statusPlain.rateLimitFallbackLabel":"రేటు పరిమితి:","composer.statusPlain.rateLimitHours":"{count}h పరిమితి","composer.statusPlain.rateLimitLabelBase":"రేటు పరిమితి","composer.statusPlain.rateLimitMinutes":"{count}m పరిమితి","composer.statusPlain.rateLimitPercent":"{remaining}% మిగిలి ఉంది","composer.statusPlain.rateLimitReset":"రీసెట్‌లు {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"రీసెట్ సమయం అందుబాటులో లేదు","composer.statusPlain.rateLimitUnavailable":"అందుబాటులో లేదు","composer.statusPlain.sessionCopiedAriaLabel":"సెషన్ ఐడి కాపీ చేయబడింది","composer.statusPlain.sessionCopiedTooltip":"ID కాపీ చేయబడింది","composer.statusPlain.sessionCopyAriaLabel":"సెషన్ ఐడిని కాపీ చేయి","composer.statusPlain.sessionCopyTooltip":"IDని కాపీ చేయండి","composer.statusPlain.sessionLabel":"సెషన్:","composer.statusSlashCommand.description":"థ్రెడ్ ఐడి, సందర్భ వినియోగం మరియు రేటు పరిమితులను చూపించు","composer.statusSlashCommand.title":"స్థితి","composer.submit.blockedDialogOk":"అలాగే","composer.submit.blockedDialogTitle":"సందేశం పంపలేకపోయింది","composer.submit.emptyMessage":"ప్రారంభించడానికి ఒక సందేశాన్ని నమోదు చేయండి","composer.submit.imageInputsUnsupported":"ఈ సందేశాన్ని పంపడానికి చిత్రాలను తీసివేయండి లేదా నమూనాలను మార్చండి.","composer.submit.loadingLocalConfig":"లోడ్ అవుతోంది…","composer.submit.missingCloudConfig":"మీరు క్లౌడ్ వాతావరణాన్ని ఎంచుకోవాలి","composer.submit.missingCloudTurn":"ఈ పనిని ఫాలో-అప్ చేయడం సాధ్యం కాదు.","composer.submit.noWorkspace":"Codex‌ను ఉపయోగించడానికి ఒక ప్రాజెక్ట్‌ను జోడించండి","composer.submit.waitForImageUploads":"చిత్రాలు అప్‌లోడ్ అవుతున్నాయి…","composer.submitButtonTooltip.send":"పంపండి","composer.submitButtonTooltip.stop":"ఆపు","composer.worktreeEnvironment.create":"స్థానిక వాతావరణాన్ని సృష్టించండి","composer.worktreeEnvironment.default":"డిఫాల్ట్ పర్యావరణం","composer.worktreeEnvironment.error":"పర్యావరణాన్ని లోడ్ చేయడంలో లోపం ఏర్పడింది","composer.worktreeEnvironment.loading":"పర్యావరణాలు లోడ్ అవుతున్నాయి…","composer.worktreeEnvironment.title":"స్థానిక పర్యావరణం","composer.worktreeEnvironment.tooltip":"స్థానిక వాతావరణాన్ని ఎంచుకోండి","composer.worktreeSetupFailed":"వర్క్‌ట్రీ సెటప్ విఫలమైంది. సెటప్ స్క్రిప్ట్ కోసం .codex/environmentsను తనిఖీ చేయండి.","compoundButton.secondaryAction":"ద్వితీయ చర్య","copyButton.copied":"కాపీ అయింది","copyButton.copiedAriaLabel":"కాపీ అయింది","copyButton.copy":"కాపీ చేయండి","copyButton.copyAriaLabel":"కాపీ చేయండి","copyButton.copyCode":"కోడ్‌ను కాపీ చేయి","diff.actionButton.revertFile":"ఫైల్‌ను తిరిగి మార్చండి","diff.actionButton.revertHunk":"తిరిగి సమాధానం ఇవ్వడం","diff.actionButton.revertSection":"అన్నింటికీ తిరిగి సమాధానం ఇవ్వండి","diff.actionButton.revertSectionLabel":"అన్నింటికీ తిరిగి సమాధానం ఇవ్వండి","diff.actionButton.stageFile":"స్టేజ్ ఫైల్","diff.actionButton.stageHunk":"స్టేజ్","diff.actionButton.stageSection":"అన్ని స్టేజ్‌లు","diff.actionButton.stageSectionLabel":"అన్ని స్టేజ్‌లు","diff.actionButton.unstageFile":"అన్‌స్టేజ్ ఫైల్","diff.actionButton.unstageHunk":"అన్‌స్టేజ్","diff.actionButton.unstageSection":"అన్ని అన్‌స్టేజ్ చేయండి","diff.actionButton.unstageSectionLabel":"అన్ని అన్‌స్టేజ్ చేయండి","diff.fileHeader.toggle":"ఫైల్ డిఫరెన్స్‌ను టోగుల్ చేయండి","electron.onboarding.login.apikey.cancel":"రద్దు చేయండి","electron.onboarding.login.apikey.continue":"కొనసాగించండి","electron.onboarding.login.apikey.label":"OpenAI API కీ","electron.onboarding.login.apikey.open":"API కీని నమోదు చేయండి","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"సైన్-ఇన్‌ను రద్దు చేయండి","electron.onboarding.login.chatgpt.continue":"ChatGPT‌తో కొనసాగించండి","electron.onboarding.login.devbox":"రిమోట్ SSHకి కనెక్ట్ చేయండి","electron.onboarding.login.error":"సైన్ ఇన్ విఫలమైంది{rawMessage}","electron.onboarding.login.snake.start":"స్నేక్ ఆడండి","electron.onboarding.login.sshConfig.cancel":"రద్దు చేయండి","electron.onboarding.login.sshConfig.continue":"కొనసాగించండి","electron.onboarding.login.sshConfig.hostnameLabel":"SSH హోస్ట్‌నేమ్","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ఏజెంట్లతో కలిసి నిర్మించడానికి ఉత్తమ మార్గం","electron.onboarding.login.title":"Codex‌కు స్వాగతం","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"కొనసాగించండి","electron.onboarding.welcome.doubleLimits.description":"Codex యాప్ ప్రారంభోత్సవాన్ని పురస్కరించుకుని, ఏప్రిల్ 2వ తేదీ వరకు మీకు రెట్టింపు రేట్ పరిమితులు లభిస్తాయి.","electron.onboarding.welcome.freego.description":"Codex మార్చి 2వ తేదీ వరకు మీ ప్రణాళిక‌లో చేర్చబడింది – మనం కలిసి నిర్మించడం ప్రారంభిద్దాం.","electron.onboarding.welcome.new.title.anon":"స్వాగతం!","electron.onboarding.workspace.continue":"కొనసాగించండి","electron.onboarding.workspace.empty":"కొనసాగడానికి ఒక ప్రాజెక్ట్‌ను జోడించండి.","electron.onboarding.workspace.listLabel":"అందుబాటులో ఉన్న ప్రాజెక్టులు","electron.onboarding.workspace.loading":"ప్రాజెక్ట్‌లను లోడ్ చేస్తోంది","electron.onboarding.workspace.openFolder":"ప్రాజెక్ట్‌ను జోడించండి","electron.onboarding.workspace.selectAll":"అన్నిటినీ ఎంచుకోండి","electron.onboarding.workspace.skip":"దాటవేయండి","electron.onboarding.workspace.skip.error":"కొత్త ప్రాజెక్ట్‌ను సృష్టించలేకపోయాము: {message}","electron.onboarding.workspace.skip.error.unknown":"తెలియని లోపం","electron.onboarding.workspace.skipping":"కొత్త ప్రాజెక్ట్‌ను సృష్టిస్తోంది…","electron.onboarding.workspace.subtitle":"కోడెక్స్ ఎంచుకున్న ఫోల్డర్‌లలో ఫైల్‌లను సవరించగలదు మరియు ఆదేశాలను అమలు చేయగలదు.","electron.onboarding.workspace.title":"ప్రాజెక్ట్‌ను ఎంచుకోండి","errorPage.list.checkSettings":"మీ IDE సెట్టింగ్‌లను నవీకరించడానికి ప్రయత్నించండి.","errorPage.list.configToml":"చెల్లని సెట్టింగ్‌ల కోసం మీ config.tomlని తనిఖీ చేయండి.","errorPage.list.downloadExtension":"ఎక్స్‌టెన్షన్ యొక్క వేరే వెర్షన్‌ను డౌన్‌లోడ్ చేసుకోవడానికి ప్రయత్నించండి.","errorPage.list.runInWsl":"మీరు అనుకూలత సమస్యలను చూస్తున్నట్లయితే WSLలో అమలును నిలిపివేయడానికి మీ సెట్టింగ్‌లను తనిఖీ చేయండి.","execApprovalRequest.menu.runAlways":"Yes, and don't ask again this session","execApprovalRequest.menu.runAlwaysWithAmendment":"అవును మరియు {command} అని ప్రారంభమయ్యే ఆదేశాల కోసం మళ్లీ అడగవద్దు","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"అవును మరియు దీనితో ప్రారంభమయ్యే ఆదేశాల కోసం మళ్లీ అడగవద్దు","execApprovalRequest.menu.runOnce":"అవును","execApprovalRequest.prompt":"Do you want to run this command?","execApprovalRequest.reject":"లేదు","execFooter.exitCode":"నిష్క్రమణ కోడ్ {code}","execFooter.exitCode.unknown":"తెలియదు","execFooter.success":"విజయం","feedback.dialog.category.badResult":"చెడు ఫలితం","feedback.dialog.category.bug":"బగ్","feedback.dialog.category.goodResult":"మంచి ఫలితం","feedback.dialog.category.other":"ఇతర","feedback.dialog.descriptionPlaceholder":"సమస్యను ఇక్కడ వివరించండి","feedback.dialog.dismiss":"విస్మరించండి","feedback.dialog.includeLogsLabel":"ప్రస్తుత Codex సెషన్ లాగ్‌లను చేర్చండి","feedback.dialog.submit":"సమర్పించండి","feedback.dialog.submitError":"మేము మీ అభిప్రాయాన్ని సమర్పించలేకపోయాము. దయచేసి కొంత సమయం తర్వాత మళ్ళీ ప్రయత్నించండి.","feedback.dialog.title":"ఫీడ్‌బ్యాక్‌","feedback.dialog.uploadedMessage.existingIssue":"existing open issue","feedback.dialog.uploadedMessage.openIssue":"open a GitHub issue","feedback.dialog.uploadedMessage.withThread":"Feedback uploaded. If the problem persists, please {openIssueLink} or mention the thread id in an {existingIssueLink}:","feedback.dialog.uploadedTitle":"అభిప్రాయం అప్‌లోడ్ చేయబడింది","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"తీసివేయి {filename}","header.back":"వెనుకకు","header.recentChats":"టాస్క్‌లు","header.recentTasks.seeAll":"అన్నీ చూడండి{total}","home.header.getPlus":"Plusను పొందండి","home.hero.letsBuild":"నిర్మిద్దాం","homePage.mainContent":"ప్రధమ కంటెంట్","imageAttachment.defaultName":"చిత్రం","imageAttachment.preview.close":"Close image preview","imageAttachment.removeAriaLabel":"తీసివేయి {filename}","implementPlanRequest.option.implement":"Yes, implement this plan","implementPlanRequest.prompt":"Implement this plan?","inbox.archived.deleteError":"ఆర్కైవ్ చేసిన రన్‌ను తొలగించలేకపోయింది","inbox.archived.deleteRun":"ఆర్కైవ్ చేసిన రన్‌ను తొలగించు","inbox.archived.deleteSuccess":"ఆర్కైవ్ చేసిన థ్రెడ్ తొలగించబడింది. <settingsLink>లో వీక్షించండి ఆర్కైవ్ చేసిన థ్రెడ్‌లు </settingsLink>.","inbox.archived.inlineLabel.auto":"ఈ థ్రెడ్ స్వయంచాలకంగా ఆర్కైవ్ చేయబడింది. <learnMoreLink> </learnMoreLink> మరింత తెలుసుకోండి","inbox.archived.inlineLabel.manual":"ఈ థ్రెడ్ ఆర్కైవ్ చేయబడింది.","inbox.archived.noMessageFound":"సందేశం కనుగొనబడలేదు","inbox.automations.createError":"ఆటోమేషన్‌ను సృష్టించలేకపోయింది","inbox.automations.deleteConfirm.cancel":"రద్దు చేయండి","inbox.automations.deleteConfirm.confirm":"ఆటోమేషన్‌ను తొలగించండి","inbox.automations.deleteConfirm.description":"ఇది ఆటోమేషన్‌ను శాశ్వతంగా తొలగిస్తుంది మరియు భవిష్యత్తులో జరిగే ఏవైనా పరుగులను ఆపివేస్తుంది.","inbox.automations.deleteConfirm.title":"{name}ను తొలగించాలా?","inbox.automations.deleteError":"ఆటోమేషన్‌ను తొలగించలేకపోయింది","inbox.automations.editTooltip":"ఆటోమేషన్‌ను సవరించండి","inbox.automations.inProgress":"పురోగతిలో ఉంది","inbox.automations.new":"కొత్తది","inbox.automations.newToolbar":"కొత్త ఆటోమేషన్","inbox.automations.pauseTooltip":"ఆటోమేషన్‌ను పాజ్ చేయండి","inbox.automations.resumeTooltip":"ఆటోమేషన్‌ను పునఃప్రారంభించండి","inbox.automations.startingNow":"ఇప్పటి నుండి","inbox.automations.startsIn":"{startTime}లో ప్రారంభమవుతోంది","inbox.automations.status.active":"యాక్టివ్","inbox.automations.status.paused":"తాత్కాలికంగా నిలిపివేయబడింది","inbox.automations.status.runs":"{count} పరుగు","inbox.automations.status.started":"ప్రారంభించబడింది {date}","inbox.automations.updateError":"ఆటోమేషన్‌ను అప్‌డేట్ చేయలేకపోయింది","inbox.automations.workspaceFallback":"-","inbox.filter.all":"అన్నీ","inbox.filter.ariaLabel":"ఇన్‌బాక్స్ అంశాలను ఫిల్టర్ చేయండి","inbox.filter.unread":"చదవనివి","inbox.list.archived":"ఆర్కైవ్ చేయబడింది","inbox.list.inProgress":"పురోగతిలో ఉంది","inbox.list.recent":"పూర్తయింది","inbox.list.upNext":"షెడ్యూల్ చేయబడింది","inbox.mode.automations":"ఆటోమేషన్‌లు","inbox.mode.automations.beta":"బీటా","inbox.noDescription":"వివరణ అందించబడలేదు","inbox.openThread":"థ్రెడ్‌ను తెరవండి","inbox.rightPanel.emptySubtitle":"షెడ్యూల్ చేయబడిన పనులను సెటప్ చేయడం ద్వారా పనిని ఆటోమేట్ చేయండి","inbox.rightPanel.emptySubtitle.learnMore":"షెడ్యూల్ చేయబడిన థ్రెడ్‌లను సెట్టింగ్ అప్ చేయడం ద్వారా పనిని ఆటోమేట్ చేయండి.<link>మరింత తెలుసుకోండి</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# క్రియాశీల ఆటోమేషన్} other {# యాక్టివ్ ఆటోమేషన్‌లు}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"చదవని ఆటోమేషన్‌లు ఏవీ లేవు","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# చదవని ఆటోమేషన్లు} other {# చదవని ఆటోమేషన్‌లు}}","inbox.rightPanel.emptyTitle":"ఏ వస్తువు ఎంపిక చేయబడలేదు","inbox.rightPanel.noThread":"ఈ వస్తువు కోసం ఎలాంటి థ్రెడ్ లేదు.","inbox.rightPanel.quickStart.header":"టెంప్లేట్‌తో ప్రారంభించండి","inbox.untitled":"శీర్షిక లేని ఇన్‌బాక్స్ అంశం","loadingPage.documentationLink":"డాక్యుమెంటేషన్","loadingPage.errorDescription":"సంభాషణను ప్రారంభించలేకపోయాము.","loadingPage.errorDescription.documentation":"సంభాషణను ప్రారంభించలేకపోయాము.{documentationLink}","loadingPage.errorSignal":"ప్రయత్నించడానికి కొన్ని విషయాలు:","loadingPage.errorTitle":"ఒక లోపం సంభవించింది.","loadingPage.openConfigToml":"Open Config.toml","loadingPage.reload":"రీలోడ్ చేయి","localConversation.contextCompacted":"సందర్భం స్వయంచాలకంగా కుదించబడింది","localConversation.contextCompacting":"Automatically compacting context","localConversation.forkedFromConversation":"{threadTitle} నుండి ఫోర్క్ చేస్తుంది","localConversation.merge.autoResolve.failed":"ఆటో పరిష్కారాన్ని అభ్యర్థించడంలో విఫలమైంది: {error}","localConversation.merge.autoResolve.sent":"ఆటో పరిష్కార అభ్యర్థన పంపబడింది","localConversation.merge.autoResolveMerge.missingConversation":"యాక్టివ్ సంభాషణ లేకుండా స్వయంచాలకంగా సమస్యను పరిష్కరించడం సాధ్యం కాదు.","localConversation.merge.autoResolveMerge.request":"మెర్జ్ వైరుధ్యాలను స్వయంచాలకంగా పరిష్కరించండి","localConversation.modelChanged":"మోడల్ {fromModel} నుండి {toModel}కి మారింది.","localConversation.modelChanged.warning.line1":"సంభాషణ మధ్యలో మోడల్‌లను మార్చడం వల్ల పనితీరు తగ్గుతుంది.","localConversation.modelChanged.warning.line2":"సందర్భం స్వయంచాలకంగా కుదించవచ్చు.","localConversation.moveThread.createBranch.label":"శాఖను సృష్టించండి","localConversation.moveToLocal.disabled.loading":"లోడ్ అవుతోంది…","localConversation.moveToLocal.modal.continue":"కొనసాగించండి","localConversation.moveToLocal.modal.destinationLabel":"దీని కోసం తరలించండి","localConversation.moveToLocal.modal.retry":"మళ్లీ ప్రయత్నించండి","localConversation.moveToWorktree.modal.back":"వెనుకకు","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"బ్రాంచ్ ఇప్పటికే ఉంది.","localConversation.moveToWorktree.modal.branchesError":"శాఖలను లోడ్ చేయడం సాధ్యం కాలేదు","localConversation.moveToWorktree.modal.branchesLoading":"శాఖలు ఎక్కించుతున్నాయి...","localConversation.moveToWorktree.modal.branchesRetry":"మళ్లీ ప్రయత్నించండి","localConversation.moveToWorktree.modal.continue":"కొనసాగించండి","localConversation.moveToWorktree.modal.retry":"మళ్లీ ప్రయత్నించండి","localConversation.moveToWorktree.modal.trailingSlashError":"బ్రాంచ్ పేరు “/” తో ముగియకూడదు.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"కొత్త శాఖ","localConversation.personalityChanged":"{personality} వ్యక్తిత్వానికి మారింది","localConversation.planSummary.collapse":"Collapse plan summary","localConversation.planSummary.collapseTooltip":"కుదించు","localConversation.planSummary.download":"ప్లాన్ డౌన్‌లోడ్ చేసుకోండి","localConversation.planSummary.expand":"Expand plan summary","localConversation.planSummary.expandTooltip":"విస్తరింపజేయండి","localConversation.planSummary.openInNewWindow":"తెరవండి","localConversation.planSummary.openInNewWindow.tooltip":"కొత్త విండోలో తెరవండి","localConversation.planSummary.title":"ప్లాన్ చేయండి","localConversation.planSummary.titleWriting":"రచన ప్రణాళిక","localConversation.planSummary.viewPlan":"ప్రణాళికను విస్తరించండి","localConversation.remoteTaskCreated":"Codex క్లౌడ్‌లో {taskLink} సృష్టించబడింది","localConversation.remoteTaskCreated.task":"టాస్క్‌","localConversation.scrollToBottomButton":"దిగువ వరకు స్క్రోల్ చేయి","localConversation.sync.buttonLabel":"స్థానికులకు అప్పగించండి","localConversation.sync.buttonLabel.tooltip":"ఈ వర్క్‌ట్రీ మరియు మీ స్థానిక చెక్అవుట్ మధ్య మార్పులను అప్పగించండి.","localConversation.sync.modal.loading.title":"మార్పులను అప్పగిస్తున్నారు...","localConversation.sync.modal.noChanges":"మార్పులు లేవు","localConversation.syncSetup.branchAriaLabel":"శాఖ పేరు","localConversation.syncSetup.branchName":"శాఖ పేరు","localConversation.syncSetup.branchPlaceholder.existing":"ఇప్పటికే ఉన్న శాఖను ఎంచుకోండి","localConversation.syncSetup.branchPlaceholder.new":"Codex/కొత్త ఫీచర్","localConversation.syncSetup.branchesLoading":"శాఖలు ఎక్కించుతున్నాయి...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ఇప్పటికే తనిఖీ చేయబడింది","localConversation.syncSetup.checkoutClean":"ప్రస్తుతం {branchName}వ స్థానంలో ఉంది","localConversation.syncSetup.checkoutDirty":"ప్రస్తుతం {branchName}డి లేని మార్పులతో ఉంది","localConversation.syncSetup.checkoutError":"బ్రాంచ్‌ను చెక్అవుట్ చేయడంలో విఫలమైంది: {message}","localConversation.syncSetup.checkoutLabel":"ఇప్పుడే స్థానికంగా తనిఖీ చేయండి","localConversation.syncSetup.checkoutOnLocal":"స్థానికులకు అప్పగించండి","localConversation.syncSetup.checkoutPending":"స్థానిక స్థితిని తనిఖీ చేస్తోంది…","localConversation.syncSetup.checkoutUnavailable":"స్థానిక వర్క్‌స్పేస్ అందుబాటులో లేదు","localConversation.syncSetup.checkoutUnknown":"స్థానిక శాఖ అందుబాటులో లేదు","localConversation.syncSetup.continue":"కొనసాగించండి","localConversation.syncSetup.createBranchError":"హ్యాండ్‌ఆఫ్ బ్రాంచ్‌ను సెట్ చేయడంలో విఫలమైంది: {message}","localConversation.syncSetup.error":"ఏదో సమస్య ఏర్పడింది: {message}","localConversation.syncSetup.error.workingTreeMissing":"వర్క్‌ట్రీని స్నాప్‌షాట్ చేయడం సాధ్యం కాలేదు. దయచేసి తిరిగి ఇవ్వడానికి ప్రయత్నించండి.","localConversation.syncSetup.mode.ariaLabel":"బ్రాంచ్ మోడ్‌ను ఎంచుకోండి","localConversation.syncSetup.mode.existing":"ఇప్పటికే ఉన్న శాఖ","localConversation.syncSetup.mode.new":"కొత్త శాఖ","localConversation.syncSetup.noBranches":"ఎటువంటి శాఖలు కనుగొనబడలేదు","localConversation.syncSetup.overwriteError":"బ్రాంచ్ సృష్టించబడింది కానీ పూర్తిగా అందజేయబడలేదు. స్థానికంగా తనిఖీ చేసే ముందు మాన్యువల్‌గా అందజేయండి.","localConversation.syncSetup.setPrefix":"ప్రిఫిక్స్ సెట్ చేయండి","localConversation.syncSetup.subtitle":"వర్క్‌ట్రీ మార్పులను స్థానికంగా పరీక్షించి, సవరించండి. <a> </a> మరింత తెలుసుకోండి","localConversation.syncSetup.success.checkedOut":"బ్రాంచ్ సృష్టించబడింది మరియు స్థానికంగా చెక్ అవుట్ చేయబడింది","localConversation.syncSetup.success.notCheckedOut":"శాఖ సృష్టించబడింది","localConversation.syncSetup.title":"స్థానిక శాఖకు అప్పగించండి","localConversation.syncWorktreeError.branchAriaLabel":"శాఖ పేరు","localConversation.syncWorktreeError.branchPlaceholder.new":"Codex/కొత్త ఫీచర్","localConversation.syncWorktreeError.branchSetup.subtitle":"అప్పగించడానికి ఒక బ్రాంచ్‌ను ఎంచుకోండి, ఆపై మార్పులను లోడ్ చేయడానికి మళ్లీ ప్రయత్నించండి.","localConversation.syncWorktreeError.branchSetup.title":"శాఖను అప్‌డేట్ చేయి","localConversation.syncWorktreeError.branchUpdate.cta":"అప్‌డేట్ చేసి మళ్లీ ప్రయత్నించండి","localConversation.syncWorktreeError.branchUpdate.error":"బ్రాంచ్‌ను నవీకరించడంలో విఫలమైంది: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"ఏదో సమస్య ఏర్పడింది: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ఈ బ్రాంచ్ ఏ వర్క్‌ట్రీలోనూ చెక్ అవుట్ చేయబడలేదు.","localConversation.syncWorktreeV2.applyUncommitted":"వర్తింపజేయండి","localConversation.syncWorktreeV2.applyUncommitted.disabled":"కమిట్ చేయని మార్పులను వర్తింపజేయడానికి మీరు బ్రాంచ్‌ను స్థానికంగా తనిఖీ చేయాలి","localConversation.syncWorktreeV2.branches.empty":"ఎటువంటి శాఖలు కనుగొనబడలేదు","localConversation.syncWorktreeV2.branches.loading":"శాఖలు ఎక్కించుతున్నాయి...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"హ్యాండ్ఆఫ్ బ్రాంచ్‌ను మార్చండి","localConversation.syncWorktreeV2.changeBranch.error":"హ్యాండ్‌ఆఫ్ బ్రాంచ్‌ను మార్చడంలో విఫలమైంది: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"దరఖాస్తు విఫలమైంది","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"వర్క్‌ట్రీని ఓవర్‌రైట్ చేయడం విఫలమైంది","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"స్థానికంగా ఓవర్రైట్ చేయడం విఫలమైంది","localConversation.syncWorktreeV2.commandError.back":"వెనుకకు","localConversation.syncWorktreeV2.commandError.body":"హ్యాండ్ ఆఫ్ చేస్తున్నప్పుడు git కమాండ్ విఫలమైంది. అవుట్‌పుట్‌ను సమీక్షించి మళ్ళీ ప్రయత్నించండి.","localConversation.syncWorktreeV2.commandError.retry":"మళ్లీ ప్రయత్నించండి","localConversation.syncWorktreeV2.description":"లోకల్ మరియు ఈ వర్క్‌ట్రీ మధ్య మార్పులను బదిలీ చేయండి. <a>మరింత తెలుసుకోండి</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"హ్యాండ్‌ఆఫ్ దిశను ఎంచుకోండి","localConversation.syncWorktreeV2.error.generic":"అప్పగించేటప్పుడు ఏదో పొరపాటు జరిగింది. దయచేసి మళ్ళీ ప్రయత్నించండి.","localConversation.syncWorktreeV2.localBranchLabel":"లోకల్","localConversation.syncWorktreeV2.noChanges":"మార్పులను లెక్కించడం","localConversation.syncWorktreeV2.noChanges.summary":"మార్పులు లేవు","localConversation.syncWorktreeV2.overwrite.local":"స్థానిక దానిని భర్తీ చేయండి","localConversation.syncWorktreeV2.overwrite.worktree":"వర్క్‌ట్రీని ఓవర్‌రైట్ చేయండి","localConversation.syncWorktreeV2.partial.action.applyFailed":"మార్పులను వర్తింపజేయలేకపోయాము","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Couldn't overwrite local changes","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"వర్క్‌ట్రీ మార్పులను ఓవర్‌రైట్ చేయలేకపోయాము","localConversation.syncWorktreeV2.partial.appliedLabel":"వర్తించబడింది","localConversation.syncWorktreeV2.partial.back":"వెనుకకు","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resolve conflicts and try again.","localConversation.syncWorktreeV2.partial.conflictsLabel":"సంఘర్షణలు","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ఫైల్} other {# ఫైల్‌లు}}","localConversation.syncWorktreeV2.partial.retry":"మళ్లీ ప్రయత్నించండి","localConversation.syncWorktreeV2.partial.skippedLabel":"దాటవేయబడింది","localConversation.syncWorktreeV2.stateFailed.generic":"మార్పులను అప్పగించడానికి వర్క్‌ట్రీ వివరాలను పొందుతున్నప్పుడు ఏదో లోపం జరిగింది. దయచేసి మళ్లీ ప్రయత్నించండి.","localConversation.syncWorktreeV2.stateFailed.title":"వర్క్‌ట్రీ మార్పులను ఎక్కించడంలో విఫలమైంది","localConversation.syncWorktreeV2.statusError.diffUnknown":"వర్క్‌ట్రీ మార్పులను లోడ్ చేయడంలో విఫలమైంది.","localConversation.syncWorktreeV2.statusError.retry":"మళ్లీ ప్రయత్నించండి","localConversation.syncWorktreeV2.statusError.title":"స్థానిక బ్రాంచ్ మార్పులను లోడ్ చేయలేకపోయింది","localConversation.syncWorktreeV2.statusError.unknown":"ప్రస్తుతానికి బ్రాంచ్ స్థితి అందుబాటులో లేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.","localConversation.syncWorktreeV2.success.apply":"మార్పులు విజయవంతంగా వర్తింపజేయబడ్డాయి","localConversation.syncWorktreeV2.success.overwrite":"హ్యాండ్‌ఆఫ్ విజయవంతమైంది","localConversation.syncWorktreeV2.title":"మార్పులను అప్పగించండి","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"అడుగుతున్నారు {count, plural, one {ప్రశ్న} other {ప్రశ్నలు}}","localConversation.userInputRequest.noAnswer":"ఎటువంటి సమాధానం ఇవ్వబడలేదు","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"అడిగారు","localConversation.userInputRequest.summary.count":"{count, plural, one {# ప్రశ్న} other {# ప్రశ్నలు}}","localConversation.workedFor":"{time}కి పని చేసింది","localConversation.worktreeBranchSetup.action.create":"సృష్టించండి","localConversation.worktreeBranchSetup.branchAriaLabel":"శాఖ పేరు","localConversation.worktreeBranchSetup.branchPlaceholder.new":"కొత్త శాఖను సృష్టించండి","localConversation.worktreeBranchSetup.checkoutDisabled":"ఈ బ్రాంచ్ ఇప్పటికే {location}లో తనిఖీ చేయబడింది","localConversation.worktreeBranchSetup.checkoutError":"బ్రాంచ్‌ను చెక్అవుట్ చేయడంలో విఫలమైంది: {message}","localConversation.worktreeBranchSetup.createBranchError":"బ్రాంచ్‌ను సెట్ చేయడంలో విఫలమైంది: {message}","localConversation.worktreeBranchSetup.error":"ఏదో సమస్య ఏర్పడింది: {message}","localConversation.worktreeBranchSetup.subtitle":"ఈ వర్క్‌ట్రీ నుండి మార్పులను కమిట్ చేయడానికి, పుష్ చేయడానికి మరియు PRని సృష్టించడానికి ఒక బ్రాంచ్‌ను సృష్టించండి. <a> మరింత తెలుసుకోండి </a>","localConversation.worktreeBranchSetup.title":"ఇక్కడ పని చేయండి","localConversationPage.addWorktreeToSidebar.tooltip":"దీనిని ఒక ప్రాజెక్ట్‌గా సేవ్ చేయండి, తద్వారా మీరు ఈ వర్క్‌ట్రీ నుండి కొత్త థ్రెడ్‌లను ప్రారంభించవచ్చు.","localConversationPage.addWorktreeToSidebarError":"ప్రాజెక్ట్‌ను జోడించడంలో విఫలమైంది","localConversationPage.commitAndCreatePrModal.errorTitle":"PRని కమిట్ చేసి సృష్టించడం విఫలమైంది","localConversationPage.commitAndCreatePrModal.successTitle":"PR కట్టుబడి సృష్టించబడింది","localConversationPage.commitAndPushModal.errorTitle":"కమిట్ మరియు పుష్ విఫలమయ్యాయి","localConversationPage.commitAndPushModal.successTitle":"మార్పులు కట్టుబడి మరియు నెట్టబడ్డాయి","localConversationPage.commitCreatePr.open":"పుల్ అభ్యర్థనను తెరు","localConversationPage.commitCreatePr.successTitle":"మీ తాజా మార్పులతో PR సృష్టించబడింది","localConversationPage.createBranchButtonLabel":"ఇక్కడ శాఖ","localConversationPage.createPrModal.baseBranch":"బేస్","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PRను సృష్టించు","localConversationPage.createPrModal.createDescription":"మీ తాజా మార్పుల కోసం ఒక పుల్ రిక్వెస్ట్‌ను తెరవండి.","localConversationPage.createPrModal.errorTitle":"పుల్ అభ్యర్థన విఫలమైంది","localConversationPage.createPrModal.headBranch":"తల","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PRను తెరవండి","localConversationPage.createPrModal.successTitle":"పుల్ అభ్యర్థన సృష్టించబడింది","localConversationPage.createPrModal.title":"పుల్ అభ్యర్థనను సృష్టించండి","localConversationPage.createPrModal.viewDescription":"ఈ బ్రాంచ్ కోసం ఇప్పటికే ఒక పుల్ రిక్వెస్ట్ ఉంది.","localConversationPage.createPrModal.viewTitle":"పుల్ రిక్వెస్ట్ సిద్ధంగా ఉంది","localConversationPage.createPullRequestAuthGh":"GitHub CLIని ప్రామాణీకరించండి: `gh auth login` ఆదేశాన్ని అమలు చేయండి","localConversationPage.createPullRequestBranchMissing":"బ్రాంచ్ సమాచారం అందుబాటులో లేదు","localConversationPage.createPullRequestButtonLabel":"PRను సృష్టించు","localConversationPage.createPullRequestButtonLabel.loading":"PRను సృష్టిస్తోంది...","localConversationPage.createPullRequestDefaultBranchMissing":"డిఫాల్ట్ బ్రాంచ్ సమాచారం అందుబాటులో లేదు","localConversationPage.createPullRequestError":"పుల్ అభ్యర్థనను సృష్టించడంలో విఫలమైంది","localConversationPage.createPullRequestExistingPullRequest":"ఈ బ్రాంచ్ కోసం ఇప్పటికే ఒక పుల్ రిక్వెస్ట్ ఉంది.","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI స్థితిని లోడ్ చేస్తోంది...","localConversationPage.createPullRequestInstallGh":"PRలను సృష్టించడానికి GitHub CLI (gh)ని ఇన్‌స్టాల్ చేయండి","localConversationPage.createPullRequestNoRepo":"గిట్ రిపోజిటరీ కనుగొనబడలేదు","localConversationPage.createPullRequestPushStatusMissing":"పుష్ స్థితి లోడ్ అవుతోంది...","localConversationPage.createPullRequestSetUpstream":"PR సృష్టించే ముందు ఈ బ్రాంచ్‌ను పుష్ చేయండి","localConversationPage.createPullRequestSuccessToast":"పుల్ అభ్యర్థన సృష్టించబడింది","localConversationPage.createPullRequestSwitchBranch":"PRని సృష్టించే ముందు ఫీచర్ బ్రాంచ్‌ని తనిఖీ చేయండి","localConversationPage.error.render":"స్థానిక సంభాషణను రెండరింగ్ చేయడంలో లోపం","localConversationPage.error.toast":"సంభాషణ కనుగొనబడలేదు","localConversationPage.forcePushError":"ఫోర్స్ పుష్ విఫలమైంది","localConversationPage.generatePullRequestMessageError":"పుల్ రిక్వెస్ట్ టైటిల్ మరియు బాడీని ఉత్పత్తి చేయడంలో విఫలమైంది","localConversationPage.generatePullRequestMessageFailed":"పుల్ రిక్వెస్ట్ శీర్షిక మరియు వివరణను ఉత్పత్తి చేయడంలో విఫలమైంది.","localConversationPage.gitActionResult.branch":"శాఖ","localConversationPage.gitActionResult.cancel":"రద్దు చేయండి","localConversationPage.gitActionResult.close":"మూసివేయి","localConversationPage.gitActionResult.tryAgain":"మళ్లీ ప్రయత్నించండి","localConversationPage.gitActions":"గిట్ చర్యలు","localConversationPage.newChat":"కొత్త చాట్","localConversationPage.openInTarget":"దీనిలో తెరవండి","localConversationPage.openPrimaryTarget":"తెరవండి","localConversationPage.planItemsCompleted":"{totalItems, plural, one {టాస్క్ పూర్తయింది#} other {#పనులు పూర్తయ్యాయి}} లో {completedItems}","localConversationPage.pushAuthError":"పుష్ విఫలమైంది: ప్రామాణీకరణ అవసరం","localConversationPage.pushBranchMissing":"బ్రాంచ్ సమాచారం అందుబాటులో లేదు","localConversationPage.pushButtonLabel":"పుష్","localConversationPage.pushButtonLabel.loading":"నెట్టడం...","localConversationPage.pushError":"మార్పులను పుష్ చేయడంలో విఫలమైంది","localConversationPage.pushModal.branchLabel":"శాఖ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"రద్దు చేయండి","localConversationPage.pushModal.confirm":"పుష్","localConversationPage.pushModal.description":"మీ తాజా కమిట్‌లను రిమోట్ రిపోజిటరీకి పుష్ చేయండి.","localConversationPage.pushModal.errorTitle":"పుష్ విఫలమైంది","localConversationPage.pushModal.forcePush":"ఫోర్స్ పుష్","localConversationPage.pushModal.successTitle":"పుష్ పూర్తయింది","localConversationPage.pushModal.title":"మార్పులను పుష్ చేయండి","localConversationPage.pushModal.tryAgain":"మళ్లీ ప్రయత్నించండి","localConversationPage.pushNoUpstream":"ఈ బ్రాంచ్‌ను పుష్ చేయడానికి ముందు ఒక అప్‌స్ట్రీమ్‌ను సెట్ చేయండి","localConversationPage.pushNoUpstreamError":"పుష్ విఫలమైంది: అప్‌స్ట్రీమ్ కాన్ఫిగర్ చేయబడలేదు","localConversationPage.pushNothingToPush":"పుష్ చేయడానికి కొత్త కమిట్‌లు ఏవీ లేవు.","localConversationPage.pushRemoteChangedError":"పుష్ విఫలమైంది: రిమోట్‌లో కొత్త కమిట్‌లు ఉన్నాయి","localConversationPage.pushRemoteRejectedError":"రిమోట్ ద్వారా పుష్ తిరస్కరించబడింది","localConversationPage.pushStatusMissing":"పుష్ స్థితి లోడ్ అవుతోంది...","localConversationPage.pushSuccessToast":"నెట్టబడిన మార్పులు","localConversationPage.viewPullRequestButtonLabel":"PR‌ను వీక్షించండి","localConversationPage.viewPullRequestButtonLabel.loading":"పుల్ రిక్వెస్ట్ ఎక్కించేస్తోంది…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ఫైల్} other {# ఫైల్‌లు}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {జాబితా} other {జాబితాలు}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# శోధన} other {# శోధనలు}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"అన్వేషిస్తోంది","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"అన్వేషించింది","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts}ను అన్వేషించింది","localConversationTurnStory.showContent":"కంటెంట్‌ను చూపించండి","localConversationTurnStory.streamContent":"స్ట్రీమ్ కంటెంట్","localConversationTurnStory.toggleReasoning":"తర్కించడాన్ని చూపండి","localTaskRow.archiveError":"సంభాషణను ఆర్కైవ్ చేయడం విఫలమైంది.","localTaskRow.resumeError":"టాస్క్‌ను తిరిగి ప్రారంభించడంలో విఫలమైంది","mermaidDiagram.ariaLabel":"మత్స్యకన్య రేఖాచిత్రం","mermaidDiagram.copySource":"మెర్మైడ్ కాపీ","mermaidDiagram.originalCode":"మెర్మైడ్ సోర్స్ కోడ్","notifications.permissions.description":"నోటిఫికేషన్ అనుమతులు అవసరమైనప్పుడు హెచ్చరికలను చూపండి","notifications.permissions.label":"Enable permission notifications","notifications.turnMode.always":"ఎల్లప్పుడూ","notifications.turnMode.description":"Codex అది పూర్తయిందని మీకు తెలియజేసినప్పుడు సెట్ చేయండి","notifications.turnMode.label":"Turn completion notifications","notifications.turnMode.off":"ఎప్పుడూ లేదు","notifications.turnMode.unfocused":"Only when unfocused","patchApprovalRequest.approve":"ఆమోదించడానికి","patchApprovalRequest.menu.allowAlways":"Yes, and don't ask again this session","patchApprovalRequest.menu.allowForSession":"Yes, and don't ask again this session","patchApprovalRequest.menu.allowOnce":"అవును","patchApprovalRequest.prompt":"Do you want to make these changes?","patchApprovalRequest.reject":"లేదు","patchApprovalRequest.waitingForApproval":"ఫైళ్లను సవరించడానికి ఆమోదం కోసం వేచి ఉంది","pendingRequest.approvalExec.collapse":"కుదించు","pendingRequest.approvalExec.expand":"విస్తరింపజేయండి","pendingRequestStory.toastAnswer":"Answer: {answer}","pendingRequestStory.toastApprovalTitle":"Approval response","pendingRequestStory.toastFollowupPrompt":"ప్రాంప్ట్: {prompt}","pendingRequestStory.toastFollowupTitle":"ఫాలో-అప్ పంపిస్తుంది","pendingRequestStory.toastNoAnswers":"No answers provided","pendingRequestStory.toastQuestion":"Question: {question}","pendingRequestStory.toastUnknownDecision":"తెలియదు","pendingRequestStory.toastUserInputTitle":"Submitted answers","quickAction.request.codeReview.branches.new":"దయచేసి {from} vs {to}లోని మార్పులను సమీక్షించండి","quickAction.request.codeReview.uncommitted.new":"దయచేసి నా కట్టుబడి లేని మార్పులను సమీక్షించండి.","reasoningItem.thinking":"ఆలోచిస్తోంది","reasoningItem.thought":"ఆలోచన","reasoningItem.thoughtWithElapsed":"{elapsed} కోసం ఆలోచన","recentConversations.title":"ఇటీవలి సంభాషణలు ఏవీ లేవు","recentTasks.worktreeInitFailedTitle":"వర్క్‌ట్రీ ఇనిట్ విఫలమైంది","recentTasks.worktreeSettingUpTitle":"వర్క్‌ట్రీని సెటప్ చేస్తోంది","requestInputPanel.continue":"కొనసాగించండి","requestInputPanel.dismiss":"విస్మరించండి","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ఇక్కడ టైప్ చేయండి","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"No, and tell Codex what to do differently","requestInputPanel.selectedBadge":"ఎంచుకోబడింది","requestInputPanel.skip":"దాటవేయండి","requestInputPanel.submit":"సమర్పించండి","review.commit.ariaLabel.includeUnstaged":"ప్రదర్శించని వాటిని చేర్చండి","review.commit.buttonLabel":"కమిట్ చేయండి","review.commit.disabled.committing":"కమిట్ అవుతోంది...","review.commit.disabled.loadingDiff":"తేడాలను లోడ్ చేస్తోంది...","review.commit.disabled.missingContext":"కమిట్ సందేశాన్ని ఉత్పత్తి చేయదనికి కొంత సందర్భాన్ని జోడించండి","review.commit.disabled.noChanges":"మార్చడానికి ఏమీ లేదు","review.commit.disabled.noSelection":"కమిట్ చేయడానికి మార్పులను ఎంచుకోండి","review.commit.disabled.unavailable":"ప్రస్తుతానికి కమిట్ అందుబాటులో లేదు","review.commit.error":"Failed to commit changes","review.commit.form.changesToBeCommitted":"మార్పులు","review.commit.form.commitTo":"శాఖ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"కొనసాగించండి","review.commit.form.title":"మీ మార్పులను సమర్పించండి","review.commit.generate.emptyResponse":"కమిట్ సందేశాన్ని ఉత్పత్తి చేయలేకపోయాము.","review.commit.generate.failed":"కమిట్ సందేశాన్ని ఉత్పత్తి చేయడంలో విఫలమైంది: {error}","review.commit.generate.missingPrompt":"కమిట్ సందేశాన్ని ఉత్పత్తి చేయడానికి కొంత సందర్భాన్ని జోడించండి.","review.commit.includeUnstaged":"ప్రదర్శించని వాటిని చేర్చండి","review.commit.loading.description":"గట్టిగా పట్టుకోండి, దీనికి కొన్ని క్షణాలు పట్టవచ్చు...","review.commit.loading.step.commit.done":"అంగీకరించిన మార్పులు","review.commit.loading.step.commit.pending":"మార్పులను సమర్పించడం","review.commit.loading.step.createPr.done":"పుల్ రిక్వెస్ట్ సృష్టించబడింది","review.commit.loading.step.createPr.pending":"పుల్ రిక్వెస్ట్‌ను సృష్టించడం","review.commit.loading.step.push.done":"బ్రాంచ్ {branch}కి పంపబడింది","review.commit.loading.step.push.pending":"బ్రాంచ్‌కు పుష్ చేస్తోంది {branch}","review.commit.loading.title.commit":"మార్పులను సమర్పించడం","review.commit.loading.title.createPr":"PR సృష్టించడం","review.commit.loading.title.push":"మార్పులను నెట్టడం","review.commit.messageLabel":"సందేశాన్ని కమిట్ చేయండి","review.commit.messagePlaceholder":"కమిట్ సందేశాన్ని ఆటోజెనరేట్ చేయడానికి ఖాళీగా వదిలేయండి","review.commit.nextSteps":"తదుపరి చర్యలు","review.commit.nextSteps.commit":"కమిట్ చేయండి","review.commit.nextSteps.commitAndCreate":"కమిట్ చేసి PR సృష్టించండి","review.commit.nextSteps.commitAndPush":"కమిట్ చేసి పుష్ చేయండి","review.commit.nextSteps.prRequiresGh":"GitHub CLI అవసరం: {command}","review.commit.rows.changes":"మార్పులు","review.commit.rows.commitCount":"{count, plural, one {# కట్టుబడి ఉంది} other {# కట్టుబడి ఉంది}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# కట్టుబడి} other {# కట్టుబడి ఉంది}} మరియు {stats}","review.commit.rows.fileCount":"{count, plural, one {# ఫైల్} other {# ఫైల్‌లు}}","review.commit.state.error.body":"కమిట్ చేసేటప్పుడు ఏదో పొరపాటు జరిగింది. మీ గిట్ స్టేటస్‌ను తనిఖీ చేసి, మళ్లీ ప్రయత్నించండి.","review.commit.state.error.title":"కమిట్ విఫలమైంది","review.commit.state.success.title":"చేసిన మార్పులు","review.commit.untracked.loadingStats":"ట్రాక్ చేయని డిఫ్ గణాంకాలను లోడ్ చేస్తోంది…","reviewFindingAttachments.count":"{count, plural, one {# కనుగొనడం} other {# కనుగొనబడినవి}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Edit your config to customize agent behavior","settings.agent.configuration.configToml.docs":"పత్రాలు","settings.agent.configuration.configToml.restartNote":"మార్పులను వర్తింపజేయడానికి సవరణ తర్వాత కోడెక్స్‌ను పునఃప్రారంభించండి","settings.agent.configuration.subtitle":"ఈ సెట్టింగ్‌లు Codex ఉపయోగించే అన్ని చోట్ల వర్తిస్తాయి.","settings.automations.banner.danger":"ఆటోమేషన్‌లు మీ డిఫాల్ట్ శాండ్‌బాక్స్ సెట్టింగ్‌లతో నడుస్తాయి, ఇవి ప్రస్తుతం పూర్తి ప్రాప్యత‌కు సెట్ చేయబడ్డాయి. Codex అడగకుండానే ఫైల్‌లను సవరించవచ్చు, ఆదేశాలను అమలు చేయవచ్చు మరియు నెట్‌వర్క్‌ను ప్రాప్యత చేయవచ్చు కాబట్టి పూర్తి ప్రాప్యతతో నేపథ్య ఆటోమేషన్‌లను అమలు చేయడం వల్ల ప్రమాదం పెరుగుతుంది. వర్క్‌స్పేస్ రైట్‌కు శాండ్‌బాక్స్ సెట్టింగ్‌లను నవీకరించడాన్ని పరిగణించండి మరియు ఏజెంట్ పూర్తి ప్రాప్యత‌తో ఏ <rulesDocsLink>ఆదేశాలను</rulesDocsLink> అమలు చేయవచ్చో ఎంపిక చేసుకోవడానికి నియమాలను ఉపయోగించండి.","settings.automations.banner.defaultHowTo.default":"మీ డిఫాల్ట్ శాండ్‌బాక్స్ సెట్టింగ్‌లతో ఆటోమేషన్‌లు నడుస్తాయి. వర్క్‌స్పేస్ వెలుపల ఫైల్‌లను సవరించడం, నెట్‌వర్క్‌ను ప్రాప్యత చేయడం లేదా మీ కంప్యూటర్‌లోని యాప్‌లతో పనిచేయడం అవసరమైతే టూల్ కాల్‌లు విఫలమవుతాయి. నియమాలను ఉపయోగించి శాండ్‌బాక్స్ వెలుపల అమలు చేయడానికి <rulesDocsLink>ఆదేశాలను</rulesDocsLink> మీరు ఎంపిక చేసుకోవచ్చు.","settings.automations.banner.defaultHowTo.readOnly":"ఆటోమేషన్‌లు మీ డిఫాల్ట్ శాండ్‌బాక్స్ సెట్టింగ్‌లతో నడుస్తాయి, ఇవి చదవడానికి మాత్రమే సెట్ చేయబడ్డాయి. ఫైల్‌లను సవరించడం, నెట్‌వర్క్‌ను ప్రాప్యత చేయడం లేదా మీ కంప్యూటర్‌లోని యాప్‌లతో పనిచేయడం అవసరమైతే టూల్ కాల్‌లు విఫలమవుతాయి. శాండ్‌బాక్స్ సెట్టింగ్‌లను వర్క్‌స్పేస్ రైట్‌కు అప్‌డేట్ చేయడాన్ని పరిగణించండి.","settings.automations.cancel":"రద్దు చేయండి","settings.automations.create":"సృష్టించండి","settings.automations.cwdEmpty":"ప్రాజెక్ట్ ఫోల్డర్‌లు అందుబాటులో లేవు","settings.automations.cwdLabel":"ప్రాజెక్ట్‌లు","settings.automations.cwdPlaceholder":"ఒక ఫోల్డర్‌ను ఎంచుకోండి","settings.automations.cwdSubtitle":"మీరు ఒక నిర్దిష్ట బ్రాంచ్‌లో ఆటోమేషన్ నడపాలనుకుంటే, మీరు దానిని మీ ప్రేరేపణలో పేర్కొనవచ్చు.","settings.automations.delete":"తొలగించండి","settings.automations.dialog.editTitle":"ఆటోమేషన్‌ను సవరించండి","settings.automations.dialog.newTitle":"కొత్త ఆటోమేషన్","settings.automations.dialog.subtitle":"నేపథ్యంలో పునరావృతమయ్యే పనులను ఆటోమేట్ చేయండి. Codex ఇన్‌బాక్స్‌కు ఫలితాలను జోడిస్తుంది లేదా నివేదించడానికి ఏమీ లేకుంటే టాస్క్‌ను స్వయంచాలకంగా ఆర్కైవ్ చేస్తుంది. <learnMoreLink>మరింత తెలుసుకోండి</learnMoreLink>.","settings.automations.dialog.title":"ఆటోమేషన్‌ను సృష్టించండి","settings.automations.executionCopy.git":"ఆటోమేషన్లు ప్రత్యేక వర్క్‌ట్రీలపై బ్యాక్‌గ్రౌండ్‌లో నడుస్తాయి.","settings.automations.executionCopy.nonGit":"వెర్షన్-నియంత్రిత ప్రాజెక్టులలో ఆటోమేషన్ నేరుగా ప్రాజెక్ట్ డైరెక్టరీలో నడుస్తుంది. నేపథ్య వర్క్‌ట్రీలో అమలు చేయడానికి Gitని ఉపయోగించడాన్ని పరిగణించండి.","settings.automations.executionEnvironment.local":"లోకల్","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"లోడ్ అవుతోంది…","settings.automations.nameLabel":"పేరు","settings.automations.namePlaceholder":"సెంట్రీ సమస్యల కోసం తనిఖీ చేయండి","settings.automations.pause":"పాజ్ చేయి","settings.automations.promptLabel":"ప్రాంప్ట్","settings.automations.promptPlaceholder":"$Sentryలో క్రాష్‌ల కోసం చూడండి","settings.automations.resume":"పునఃప్రారంభించు","settings.automations.rruleSummaryFallback":"కస్టమ్ షెడ్యూల్","settings.automations.runNow":"పరీక్ష","settings.automations.save":"సేవ్ చేయండి","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}గంటలు","settings.automations.scheduleBadge.weekdays":"వారాంతపు రోజులు","settings.automations.scheduleBadge.weekends":"వారాంతపు రోజులు","settings.automations.scheduleHeader":"షెడ్యూల్","settings.automations.scheduleHours":"గంటలు","settings.automations.scheduleLabel":"ప్రతిదాన్ని అమలు చేయండి","settings.automations.scheduleMode.daily":"ప్రతి రోజు","settings.automations.scheduleMode.interval":"విరామం","settings.automations.scheduleModeLabel":"షెడ్యూల్ రకం","settings.automations.scheduleSummary.daily":"ప్రతి రోజు {time}కి","settings.automations.scheduleSummary.interval":"ప్రతి {count}h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# రోజు} other {# రోజులు}}","settings.automations.scheduleSummary.intervalDays":"{days}లో {interval}","settings.automations.scheduleSummary.intervalHourly":"గంటకు","settings.automations.scheduleSummary.singleDay":"{time} వద్ద {day}","settings.automations.scheduleSummary.weekdays":"{time}లో వారాంతపు రోజులు","settings.automations.scheduleSummary.weekdaysLabel":"వారాంతపు రోజులు","settings.automations.scheduleSummary.weekends":"{time}లో వారాంతపు రోజులు","settings.automations.scheduleSummary.weekendsLabel":"వారాంతపు రోజులు","settings.automations.scheduleSummary.weekly":"{time} వద్ద {days}","settings.automations.scheduleWeekdays":"ఆన్","settings.automations.weekdayState.excluded":"మినహాయించబడింది","settings.automations.weekdayState.included":"చేర్చబడింది","settings.conversationDetail.steps":"దశలు","settings.conversationDetail.steps.description":"ఆదేశాలు మరియు అవుట్‌పుట్‌లను దాచండి","settings.conversationDetail.stepsWithCommands":"కోడ్ ఆదేశాలతో కూడిన దశలు","settings.conversationDetail.stepsWithCommands.description":"కమాండ్‌లను చూపించండి, అవుట్‌పుట్‌ను కుదించండి","settings.conversationDetail.stepsWithOutput":"కోడ్ అవుట్‌పుట్‌తో కూడిన దశలు","settings.conversationDetail.stepsWithOutput.description":"కమాండ్‌లను చూపించండి మరియు అవుట్‌పుట్‌ను విస్తరించండి","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"ఆర్కైవ్ చేసిన చాట్‌‌లు ఏవీ లేవు.","settings.dataControls.archivedChats.error":"ఆర్కైవ్ చేయబడిన చాట్‌లను లోడ్ చేయలేకపోయాము.","settings.dataControls.archivedChats.loading":"ఆర్కైవ్ చేసిన చాట్‌లను లోడ్ చేస్తోంది…","settings.dataControls.archivedChats.unarchive":"అన్ ఆర్కైవ్","settings.dataControls.archivedChats.unarchiveError":"చాట్‌ను ఆర్కైవ్ నుండి తీసివేయడంలో విఫలమైంది.","settings.dataControls.archivedChats.unarchiveSuccess":"ఆర్కైవ్ చేయని థ్రెడ్. <viewNowLink>ఇప్పుడే చూడండి </viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"ఆర్కైవ్ చేయని థ్రెడ్.","settings.dataControls.archivedChats.untitled":"పేరులేని చాట్","settings.dataControls.archivedChats.viewNow":"ఇప్పుడు చూడండి","settings.editRow.headerPlaceholder":"కీ","settings.editRow.removeEntry":"ఎంట్రీని తీసివేయండి","settings.editRow.valuePlaceholder":"విలువ","settings.general.appearance":"స్వరూపం","settings.general.appearance.codeFont":"కోడ్ ఫాంట్","settings.general.appearance.codeFont.description":"చాట్‌లు మరియు తేడాలలో కోడ్ కోసం ఉపయోగించే ఫాంట్ మరియు పరిమాణాన్ని సర్దుబాటు చేయండి.","settings.general.appearance.codeFontFamily":"కోడ్ ఫాంట్ కుటుంబం","settings.general.appearance.codeFontSize":"కోడ్ ఫాంట్ పరిమాణం","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"విండోస్ సిస్టమ్ అపారదర్శకత కంటే ఘన నేపథ్యాన్ని ఉపయోగించుకునేలా చేయండి","settings.general.appearance.opaqueWindows.label":"అపారదర్శక విండో నేపథ్యాన్ని ఉపయోగించండి","settings.general.appearance.sansFontFamily":"సాన్స్ ఫాంట్ కుటుంబం","settings.general.appearance.sansFontFamily.description":"Codex UI కోసం ఉపయోగించే ఫాంట్‌ను సర్దుబాటు చేయండి","settings.general.appearance.sansFontSize":"Sans font size","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark మొదటి మలుపు నడుపుతున్నప్పుడు పూర్తి-విండో వేడుక ప్రభావాలను చూపించు","settings.general.appearance.sparkCelebrationEffects.label":"స్పార్క్ వేడుక ప్రభావాలు","settings.general.appearance.theme":"థీమ్","settings.general.appearance.theme.dark":"చీకటి","settings.general.appearance.theme.description":"లేత, ముదురు రంగును ఉపయోగించండి లేదా మీ సిస్టమ్‌కు సరిపోయేలా ఎంచుకోండి","settings.general.appearance.theme.light":"కాంతి","settings.general.appearance.theme.system":"వ్యవస్థ","settings.general.appearance.usePointerCursors.description":"ఇంటరాక్టివ్ ఎలిమెంట్స్‌పై హోవర్ చేస్తున్నప్పుడు కర్సర్‌ను పాయింటర్‌గా మార్చండి","settings.general.appearance.usePointerCursors.label":"పాయింటర్ కర్సర్‌లను ఉపయోగించండి","settings.general.enterBehavior.description":"When enabled, multiline prompts require {modifierSymbol} + enter to send.","settings.general.enterBehavior.label":"Require {modifierSymbol} + enter to send long prompts","settings.general.experimentalFeatures":"ప్రయోగాత్మక లక్షణాలు (బీటా)","settings.general.experimentalFeatures.empty":"బీటా ప్రయోగాత్మక లక్షణాలు అందుబాటులో లేవు.","settings.general.experimentalFeatures.loading":"ప్రయోగాత్మక లక్షణాలను ఎక్కించేస్తోంది...","settings.general.experimentalFeatures.restartNote":"ప్రయోగాత్మక ఫీచర్ మార్పులను వర్తింపజేయడానికి Codex‌ను పునఃప్రారంభించండి.","settings.general.experimentalFeatures.toggle":"{featureName}ను టోగుల్ చేయండి","settings.general.followUpQueueMode.description":"కోడెక్స్ నడుస్తున్నప్పుడు ఫాలో-అప్‌లను క్యూలో ఉంచండి లేదా ప్రస్తుత రన్‌ను నియంత్రించండి. ఒక సందేశం కోసం దీనికి విరుద్ధంగా చేయడానికి {invertFollowUpShortcutLabel}ను నొక్కండి.","settings.general.followUpQueueMode.interrupt":"స్టీర్","settings.general.followUpQueueMode.label":"ఫాలో-అప్ ప్రవర్తన","settings.general.followUpQueueMode.queue":"క్యూ","settings.general.notifications":"నోటిఫికేషన్‌లు","settings.general.power.preventSleepWhileRunning.description":"Codex ఒక థ్రెడ్‌ను నడుపుతున్నప్పుడు మీ కంప్యూటర్‌ను ఆన్‌లో ఉంచండి.","settings.general.power.preventSleepWhileRunning.label":"నడుస్తున్నప్పుడు నిద్రపోకుండా నిరోధించండి","settings.git.branchPrefix.ariaLabel":"శాఖ ఉపసర్గ","settings.git.branchPrefix.description":"Codex‌లో కొత్త శాఖలను సృష్టించేటప్పుడు ఉపయోగించే ఉపసర్గ","settings.git.branchPrefix.label":"శాఖ ఉపసర్గ","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"బ్రాంచ్ ప్రిఫిక్స్‌ను సేవ్ చేయడంలో విఫలమైంది","settings.git.branchPrefix.save.success":"సేవ్ చేయబడిన బ్రాంచ్ ఉపసర్గ","settings.git.commitInstructions.ariaLabel":"కమిట్ సూచనలు","settings.git.commitInstructions.description":"సందేశ జనరేషన్ ప్రేరేపనలను కమిట్ చేయడానికి జోడించబడింది","settings.git.commitInstructions.label":"కమిట్ సూచనలు","settings.git.commitInstructions.placeholder":"కమిట్ సందేశ మార్గదర్శకత్వాన్ని జోడించండి…","settings.git.commitInstructions.save":"సేవ్ చేయండి","settings.git.commitInstructions.save.error":"కమిట్ సూచనలను సేవ్ చేయడంలో విఫలమైంది","settings.git.commitInstructions.save.success":"సేవ్ చేయబడిన కమిట్ సూచనలు","settings.git.forcePush.ariaLabel":"ఎల్లప్పుడూ ఫోర్స్ పుష్ చేయండి","settings.git.forcePush.description":"Codex నుండి పుష్ చేస్తున్నప్పుడు --force-with-lease ఉపయోగించండి","settings.git.forcePush.label":"ఎల్లప్పుడూ ఫోర్స్ పుష్ చేయండి","settings.git.forcePush.save.disabled":"ఎల్లప్పుడూ ఫోర్స్ పుష్ డిసేబుల్ చేయబడింది","settings.git.forcePush.save.enabled":"ఎల్లప్పుడూ ఫోర్స్ పుష్ ప్రారంభించబడింది","settings.git.forcePush.save.error":"ఫోర్స్ పుష్ సెట్టింగ్‌ను సేవ్ చేయడంలో విఫలమైంది","settings.git.prInstructions.ariaLabel":"పుల్ రిక్వెస్ట్ సూచనలు","settings.git.prInstructions.description":"Codex ద్వారా సృష్టించబడిన అభ్యర్థన బాడీలను లాగడానికి జోడించబడింది","settings.git.prInstructions.label":"పుల్ రిక్వెస్ట్ సూచనలు","settings.git.prInstructions.placeholder":"పుల్ రిక్వెస్ట్ మార్గదర్శకాలను జోడించండి…","settings.git.prInstructions.save":"సేవ్ చేయండి","settings.git.prInstructions.save.error":"పుల్ అభ్యర్థన సూచనలను సేవ్ చేయడంలో విఫలమైంది","settings.git.prInstructions.save.success":"సేవ్ చేయబడిన పుల్ అభ్యర్థన సూచనలు","settings.ide.defaultOpenTarget.description":"Where files and folders open by default","settings.ide.defaultOpenTarget.label":"Default open destination","settings.ide.defaultOpenTarget.placeholder":"లక్ష్యాలు ఏవీ కనుగొనబడలేదు","settings.ide.language.auto":"స్వయం పరిశోధన","settings.ide.language.autoOption":"స్వయం పరిశోధన","settings.ide.language.description":"Language for the app UI","settings.ide.language.label":"భాష","settings.ide.language.search":"భాషలను శోధించండి","settings.layout.actionButton":"ఎక్స్‌టెన్షన్‌ను ప్రారంభించండి","settings.layout.actionTitle":"చర్యతో కూడిన సెట్టింగ్‌లు","settings.layout.fullWidthTitle":"సెట్టింగ్‌లు (పూర్తి వెడల్పు)","settings.layout.title":"సెట్టింగ్‌లు","settings.localEnvironments.actions.add":"చర్యను జోడించండి","settings.localEnvironments.actions.add.description":"Create a new command to run from the toolbar.","settings.localEnvironments.actions.add.save":"సేవ్ చేయండి","settings.localEnvironments.actions.empty":"లోకల్ టూల్‌బార్ నుండి కమాండ్‌లను అమలు చేయడానికి ఒక చర్యను జోడించండి.","settings.localEnvironments.actions.icon.debug":"డీబగ్ చేయండి","settings.localEnvironments.actions.icon.run":"రన్ చేయి","settings.localEnvironments.actions.icon.test":"పరీక్ష","settings.localEnvironments.actions.icon.tool":"టూల్","settings.localEnvironments.actions.item.button.delete":"తొలగించండి","settings.localEnvironments.actions.item.command":"యాక్షన్ స్క్రిప్ట్","settings.localEnvironments.actions.item.name":"పేరు","settings.localEnvironments.actions.item.platforms":"ప్లాట్‌ఫారమ్‌లు","settings.localEnvironments.actions.item.platforms.help":"ఒక నిర్దిష్ట ఆపరేటింగ్ సిస్టమ్‌పై మాత్రమే నడుస్తుంది.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"ప్లాట్‌ఫారమ్ ఎంపిక","settings.localEnvironments.actions.item.platforms.specific":"ప్లాట్‌ఫారమ్ ఎంపిక","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"తొలగించండి","settings.localEnvironments.actions.title":"చర్యలు","settings.localEnvironments.breadcrumb.back":"వెనుకకు","settings.localEnvironments.breadcrumb.edit":"ఎడిట్ చేయండి","settings.localEnvironments.breadcrumb.root":"పర్యావరణాలు","settings.localEnvironments.environment.actions.description":"ఈ చర్యలు ఏదైనా కమాండ్‌ను అమలు చేయగలవు మరియు అవి హెడర్‌లో ప్రదర్శించబడతాయి.","settings.localEnvironments.environment.actionsLabel":"చర్యలు","settings.localEnvironments.environment.create":"స్థానిక వాతావరణాన్ని సృష్టించండి","settings.localEnvironments.environment.defaultName":"స్థానిక","settings.localEnvironments.environment.edit":"స్థానిక వాతావరణాన్ని సవరించండి","settings.localEnvironments.environment.empty":"ఈ ప్రాజెక్ట్ కోసం ఇంకా స్థానిక వాతావరణం కాన్ఫిగర్ చేయబడలేదు.","settings.localEnvironments.environment.name":"పేరు","settings.localEnvironments.environment.setup":"స్క్రిప్ట్‌ను సెట్ చేయండి","settings.localEnvironments.environment.setup.description":"ఈ స్క్రిప్ట్ వర్క్‌ట్రీని సృష్టించినప్పుడు అమలు అవుతుంది.","settings.localEnvironments.environment.setup.hint":"ప్రాజెక్ట్ రూట్‌లో నడుస్తుంది.","settings.localEnvironments.environment.setup.platformOverrides":"ప్లాట్‌ఫామ్ ఓవర్‌రైడ్‌లు","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} సెటప్ స్క్రిప్ట్‌ను జోడించండి","settings.localEnvironments.environment.setup.platformOverrides.description":"నిర్దిష్ట OSల కోసం డిఫాల్ట్ స్క్రిప్ట్‌ను ఓవర్‌రైడ్ చేస్తుంది.","settings.localEnvironments.environment.setup.platformOverrides.remove":"తీసివేయండి","settings.localEnvironments.environment.setup.script":"స్క్రిప్ట్","settings.localEnvironments.environment.title":"పర్యావరణం వివరాలు","settings.localEnvironments.file.missing":"ఈ ఫైల్‌ను మొదటిసారిగా సృష్టించడానికి సేవ్ చేయండి.","settings.localEnvironments.file.parseError":"ఇప్పటికే ఉన్న ఫైల్‌ను ప్రాసెస్ చేయలేకపోయాము. సేవ్ చేస్తే అది పాత ఫైల్‌పై రాయబడుతుంది. ({error})","settings.localEnvironments.file.path":"ఫైల్: {path}","settings.localEnvironments.file.readError":"స్థానిక పర్యావరణ డేటాను లోడ్ చేయడంలో విఫలమైంది. ({error})","settings.localEnvironments.file.title":"స్థానిక పర్యావరణ ఫైల్","settings.localEnvironments.loading.body":"మీ ప్రాజెక్ట్ కాన్ఫిగరేషన్‌ను పొందుతోంది.","settings.localEnvironments.loading.title":"స్థానిక వాతావరణాలను లోడ్ చేస్తోంది","settings.localEnvironments.preview.devOnly":"(DEV కోసం మాత్రమే)","settings.localEnvironments.preview.save":"సేవ్ చేయండి","settings.localEnvironments.preview.saveError":"ఫైల్‌ను సేవ్ చేయడంలో విఫలమైంది. ({error})","settings.localEnvironments.preview.title":"ప్రివ్యూ","settings.localEnvironments.save.disabled.name":"Add an environment name to save.","settings.localEnvironments.save.disabled.noChanges":"No changes to save.","settings.localEnvironments.save.disabled.saving":"సేవ్ చేస్తోంది...","settings.localEnvironments.save.success":"స్థానిక పర్యావరణాన్ని కాపాడారు","settings.localEnvironments.unavailable.body":"ఈ ప్రాజెక్ట్ కోసం స్థానిక పర్యావరణ సెట్టింగ్‌లను మేము ఎక్కించలేకపోయాము.","settings.localEnvironments.unavailable.title":"స్థానిక వాతావరణాలు అందుబాటులో లేవు","settings.localEnvironments.workspace.add":"ప్రాజెక్ట్‌ను జోడించండి","settings.localEnvironments.workspace.title":"ప్రాజెక్ట్","settings.localEnvironments.workspaceSelect.addLabel":"పర్యావరణాన్ని జోడించండి","settings.localEnvironments.workspaceSelect.description":"స్థానిక పరిసరాలు ఒక వర్క్‌స్పేస్ కోసం Worktreeలను ఎలా సెటప్ చేయాలో Codex‌కు తెలియజేస్తాయి.{learnMore}","settings.localEnvironments.workspaceSelect.empty":"ఇంకా ప్రాజెక్ట్‌లు లేవు. స్థానిక వాతావరణాలను కాన్ఫిగర్ చేయడానికి ఒకదాన్ని జోడించండి.","settings.localEnvironments.workspaceSelect.errorLabel":"పర్యావరణానికి శ్రద్ధ అవసరం.","settings.localEnvironments.workspaceSelect.learnMore":"మరింత తెలుసుకోండి","settings.localEnvironments.workspaceSelect.listLabel":"అందుబాటులో ఉన్న ప్రాజెక్టులు","settings.localEnvironments.workspaceSelect.loading":"ప్రాజెక్ట్‌లను లోడ్ చేస్తోంది","settings.localEnvironments.workspaceSelect.loadingLabel":"పర్యావరణాన్ని లోడ్ చేస్తోంది","settings.localEnvironments.workspaceSelect.title":"ప్రాజెక్ట్‌ను ఎంచుకోండి","settings.localEnvironments.workspaceSelect.viewAction":"చూడండి","settings.mcp.addServer":"సర్వర్‌ను జోడించండి","settings.mcp.app.configure":"కాన్ఫిగర్ చేయి","settings.mcp.app.connect":"కనెక్ట్ చేయి","settings.mcp.apps.refresh":"రిఫ్రెష్ చేయండి","settings.mcp.detail.addArgument":"వాదనను జోడించండి","settings.mcp.detail.addEnvVar":"పర్యావరణ వేరియబుల్‌ను జోడించండి","settings.mcp.detail.addEnvVarPassthrough":"వేరియబుల్‌ను జోడించండి","settings.mcp.detail.args":"వాదనలు","settings.mcp.detail.back":"వెనుకకు","settings.mcp.detail.command":"ప్రారంభించటానికి ఆదేశం","settings.mcp.detail.cwd":"పని చేసే డైరెక్టరీ","settings.mcp.detail.docs":"MCP డాక్యుమెంటేషన్‌ను తెరవండి","settings.mcp.detail.docs.link":"పత్రాలు","settings.mcp.detail.envVarPassthrough":"పర్యావరణ వేరియబుల్ పాస్‌త్రూ","settings.mcp.detail.envVars":"పర్యావరణ వేరియబుల్స్","settings.mcp.detail.http.addEnvHeader":"వేరియబుల్‌ను జోడించండి","settings.mcp.detail.http.addHeader":"హెడర్‌ను జోడించండి","settings.mcp.detail.http.bearerToken":"బేరర్ టోకెన్ env var","settings.mcp.detail.http.envHeaders":"ఎన్విరాన్మెంట్ వేరియబుల్స్ నుండి హెడర్‌లు","settings.mcp.detail.http.headers":"హెడర్‌లు","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"పేరు","settings.mcp.detail.save":"సేవ్ చేయండి","settings.mcp.detail.switchTransportNotice":"మీరు MCP సర్వర్ రకాన్ని మార్చాలనుకుంటే, దయచేసి ముందుగా అన్‌ఇన్‌స్టాల్ చేయండి.","settings.mcp.detail.titleExisting":"{name} MCPని అప్‌డేట్ చేయండి","settings.mcp.detail.titleNew":"కస్టమ్ MCPకి అనుసంధానం చేయండి","settings.mcp.detail.transport.http":"స్ట్రీమ్ చేయగల HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"అన్‌ఇన్‌స్టాల్ చేయండి","settings.mcp.empty":"No custom MCP servers connected","settings.mcp.myServers":"కస్టమ్ సర్వర్‌లు","settings.mcp.partnerServer.description.figma":"పూర్తి ఫిగ్మా సందర్భాన్ని తీసుకురావడం ద్వారా మెరుగైన కోడ్‌ను రూపొందించండి","settings.mcp.partnerServer.description.github":"వర్క్‌ఫ్లోలను ఆటోమేట్ చేయడానికి మరియు డేటాను సంగ్రహించడానికి GitHub APIలతో ఇంటిగ్రేట్ చేయండి","settings.mcp.partnerServer.description.linear":"లీనియర్ యొక్క సమస్య ట్రాకింగ్ మరియు ప్రాజెక్ట్ నిర్వహణతో ఇంటిగ్రేట్ చేయండి","settings.mcp.partnerServer.description.notion":"పత్రాలను చదవండి, పేజీలను అప్‌డేట్ చేయండి, పనులను నిర్వహించండి","settings.mcp.partnerServer.description.playwright":"డిజైన్‌ను అమలు చేయడానికి మరియు UIని పరీక్షించడానికి బ్రౌజర్ ఆటోమేషన్‌ను ఇంటిగ్రేట్ చేయండి.","settings.mcp.partnerServer.install":"ఇన్‌స్టాల్ చేయండి","settings.mcp.partnerServer.installAndAuthenticate":"ఇన్‌స్టాల్ చేసి ప్రామాణీకరించండి","settings.mcp.partnerServer.logoAlt":"{label} లోగో","settings.mcp.partnerServer.manage":"నిర్వహించండి","settings.mcp.partnerServer.vendor":"{vendor} ద్వారా","settings.mcp.recommendedServers":"సిఫార్సు చేయబడిన సర్వర్‌లు","settings.mcp.restartApp":"రీస్టార్ట్ చేయండి","settings.mcp.restartExtension":"ఎక్స్‌టెన్షన్‌ను ప్రారంభించండి","settings.mcp.server.enable":"ఎనేబుల్ చేయి","settings.mcp.server.login":"ప్రమాణీకరించండి","settings.mcp.server.settings":"సెట్టింగ్‌లు","settings.multiselect.createOption":'"{value}"ను సృష్టించండి',"settings.multiselect.removeOption":"తీసివేయండి","settings.nav.account":"ఖాతా","settings.nav.agent":"ఆకృతీకరణ","settings.nav.ariaLabel":"సెట్టింగ్‌లు","settings.nav.back":"యాప్‌కి తిరిగి వెళ్ళు","settings.nav.data-controls":"ఆర్కైవ్ చేయబడిన థ్రెడ్‌లు","settings.nav.environments":"క్లౌడ్ పర్యావరణాలు","settings.nav.externalTooltip":"[alpha] Opens in browser","settings.nav.general-settings":"జనరల్","settings.nav.git-settings":"గిట్","settings.nav.local-environments":"పర్యావరణాలు","settings.nav.mcp-settings":"MCP సర్వర్‌లు","settings.nav.notImplemented":"[alpha] Not available in Alpha","settings.nav.personalization":"వ్యక్తిగతీకరణ","settings.nav.skills-settings":"నైపుణ్యాలు","settings.nav.usage-analytics":"వినియోగం & విశ్లేషణలు","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"వెనుకకు","settings.openSourceLicenses.loading":"లోడ్ అవుతోంది…","settings.openSourceLicenses.missing":"No third-party notices were found.","settings.openSourceLicenses.notSupported":"Not available in this host.","settings.openSourceLicenses.rowDescription":"Third-party notices for bundled dependencies","settings.openSourceLicenses.rowLabel":"ఓపెన్ సోర్స్ లైసెన్స్‌లు","settings.openSourceLicenses.subtitle":"Third-party notices for dependencies included in this app","settings.openSourceLicenses.title":"ఓపెన్ సోర్స్ లైసెన్స్‌లు","settings.openSourceLicenses.view":"చూడండి","settings.personalization.agents.description":"Codexను మీకు అనుగుణంగా మార్చే సూచనలను సవరించండి. {learnMore}","settings.personalization.agents.learnMore":"మరింత తెలుసుకోండి","settings.personalization.agents.loadError":"ఏజెంట్‌లు.ఎండిని లోడ్ చేయలేకపోయింది.","settings.personalization.agents.loading":"ఏజెంట్లు.md లోడ్ అవుతోంది…","settings.personalization.agents.placeholder":"మీ అనుకూల సూచనలను జోడించండి…","settings.personalization.agents.retry":"మళ్లీ ప్రయత్నించండి","settings.personalization.agents.save":"సేవ్ చేయండి","settings.personalization.agents.save.error":"ఏజెంట్‌లు సేవ్ చేయలేకపోయింది","settings.personalization.agents.save.success":"సేవ్ చేయబడిన ఏజెంట్‌లు.ఎండి","settings.personalization.agents.title":"అనుకూల సూచనలు","settings.personalization.personality.description":"Codex ప్రతిస్పందనల కోసం డిఫాల్ట్ టోన్‌ను ఎంచుకోండి.","settings.personalization.personality.label":"వ్యక్తిత్వం","settings.sample.contentBody":"మీ సెట్టింగ్ ప్యానెల్‌లను స్థిరమైన అంతరంతో కంపోజ్ చేయడానికి ఈ లేఅవుట్‌ను ఉపయోగించండి.","settings.sample.contentTitle":"నమూనా కంటెంట్ బ్లాక్","settings.section.account":"ఖాతా","settings.section.agent":"ఆకృతీకరణ","settings.section.data-controls":"ఆర్కైవ్ చేయబడిన థ్రెడ్‌లు","settings.section.environments":"క్లౌడ్ పర్యావరణాలు","settings.section.external":"ఆల్ఫా సమయంలో మీ బ్రౌజర్‌లో తెరుచుకుంటుంది","settings.section.general-settings":"జనరల్","settings.section.git-settings":"గిట్","settings.section.local-environments":"పర్యావరణాలు","settings.section.mcp-settings":"MCP సర్వర్‌లు","settings.section.mcp-settings.docs":"పత్రాలు","settings.section.mcp-settings.subtitle":"Connect external tools and data sources.","settings.section.personalization":"వ్యక్తిగతీకరణ","settings.section.skills-settings":"నైపుణ్యాలు","settings.section.unavailable":"ప్రస్తుతానికి ఆల్ఫా వెర్షన్‌లో అందుబాటులో లేదు","settings.section.usage-analytics":"వినియోగం & విశ్లేషణలు","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"థ్రెడ్‌లలో ఎంత కమాండ్ అవుట్‌పుట్‌ను చూపించాలో ఎంచుకోండి","settings.threadDetail.label":"థ్రెడ్ వివరం","settings.worktrees.conversation.untitled":"పేరులేని సంభాషణ","settings.worktrees.delete.error":"వర్క్‌ట్రీని తొలగించడంలో విఫలమైంది","settings.worktrees.empty.body":"Codex ద్వారా సృష్టించబడిన Worktreeలు ఇక్కడ కనిపిస్తాయి.","settings.worktrees.empty.title":"ఇంకా వర్క్‌ట్రీలు లేవు","settings.worktrees.error.body":"Worktreesలను లోడ్ చేస్తున్నప్పుడు ఏదో పొరపాటు జరిగింది.","settings.worktrees.error.retry":"మళ్లీ ప్రయత్నించండి","settings.worktrees.error.title":"వర్క్‌ట్రీలను లోడ్ చేయడంలో విఫలమైంది","settings.worktrees.loading.body":"వర్క్‌ట్రీ వివరాలను పొందుతోంది.","settings.worktrees.loading.title":"వర్క్‌ట్రీలను లోడ్ చేస్తోంది","settings.worktrees.repository.loading":"రిపోజిటరీ మెటాడేటాను లోడ్ చేస్తోంది…","settings.worktrees.repository.unknown":"తెలియని రిపోజిటరీ","settings.worktrees.row.conversations":"సంభాషణలు","settings.worktrees.row.conversations.empty":"ఈ వర్క్‌ట్రీకి సంబంధించిన సంభాషణలు ఏవీ లేవు.","settings.worktrees.row.conversations.loading":"సంభాషణలను లోడ్ చేస్తోంది...","settings.worktrees.row.delete":"తొలగించండి","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"కొత్త ప్రాజెక్ట్‌ను జోడించండి","sidebarElectron.archiveThread":"ఆర్కైవ్ థ్రెడ్","sidebarElectron.archiveThreadError":"Failed to archive thread","sidebarElectron.collapseFolder":"ఫోల్డర్‌ను కుదించండి","sidebarElectron.createStableWorktree.dialog.cancel":"రద్దు చేయండి","sidebarElectron.createStableWorktree.dialog.create":"సృష్టించండి","sidebarElectron.debugNavLink":"డీబగ్ చేయండి","sidebarElectron.editWorkspaceRootOptionName":"పేరును సవరించండి","sidebarElectron.expandFolder":"ఫోల్డర్‌ను విస్తరింపజేయండి","sidebarElectron.groupByMenu.recency":"కాలక్రమానుసార జాబితా","sidebarElectron.groupByMenu.title":"వ్యవస్థీకరించండి","sidebarElectron.groupByMenu.workspace":"ప్రాజెక్ట్ ద్వారా","sidebarElectron.inboxRouteNavLink":"ఆటోమేషన్‌లు","sidebarElectron.markThreadUnread":"చదవనిదిగా గుర్తు పెట్టుకొండి","sidebarElectron.missingWorkspaceRoot":"ఈ ప్రాజెక్ట్ ఫోల్డర్ తొలగించబడింది లేదా తరలించబడింది","sidebarElectron.newThread":"కొత్త థ్రెడ్","sidebarElectron.newThreadInGroup":"{folder}లో కొత్త థ్రెడ్ ప్రారంభించండి","sidebarElectron.noRecentThreads":"ఇటీవల ఎలాంటి థ్రెడ్‌లు లేవు","sidebarElectron.noTasks":"థ్రెడ్‌లు లేవు","sidebarElectron.noTasks.start":"కొత్త ప్రాజెక్ట్‌ను జోడించండి","sidebarElectron.noTasksWithFilter":"ఫిల్టర్‌లకు సరిపోయే థ్రెడ్‌లు ఏవీ లేవు","sidebarElectron.pinnedThreads":"పిన్ చేయబడిన థ్రెడ్‌లు","sidebarElectron.recentNavLink":"థ్రెడ్‌లు","sidebarElectron.recentThreads":"ఇటీవలి థ్రెడ్‌లు","sidebarElectron.removeWorkspaceRootOption":"తీసివేయండి","sidebarElectron.renameThread":"థ్రెడ్‌కు పేరు మార్చండి","sidebarElectron.renameThreadDialogAriaLabel":"థ్రెడ్ శీర్షిక","sidebarElectron.renameThreadDialogCancel":"రద్దు చేయండి","sidebarElectron.renameThreadDialogPlaceholder":"శీర్షికను జోడించండి…","sidebarElectron.renameThreadDialogSave":"సేవ్ చేయండి","sidebarElectron.renameThreadDialogSubtitle":"దాన్ని చిన్నగా మరియు గుర్తించదగినదిగా ఉంచండి.","sidebarElectron.renameThreadDialogTitle":"థ్రెడ్‌కు పేరు మార్చండి","sidebarElectron.renameThreadError":"థ్రెడ్‌ను పేరు మార్చడంలో విఫలమైంది","sidebarElectron.renameWorkspaceRootOptionLabel":"ప్రదర్శన పేరు","sidebarElectron.showLess":"తక్కువ చూపించు","sidebarElectron.showMenu.all":"అన్ని థ్రెడ్‌లు","sidebarElectron.showMenu.relevant":"సంబంధిత","sidebarElectron.showMenu.relevantHint":"Only show recent threads for the current branch, worktrees, or other threads that need your attention","sidebarElectron.showMenu.title":"చూపించు","sidebarElectron.showMenu.tooltip":"థ్రెడ్‌లను ఫిల్టర్ చేయండి, క్రమబద్ధీకరించండి మరియు నిర్వహించండి","sidebarElectron.showMenu.trigger":"సైడ్‌బార్ థ్రెడ్‌లను ఫిల్టర్ చేయండి","sidebarElectron.showMore":"ఎక్కువ చూపించు","sidebarElectron.skillsRouteNavLink":"నైపుణ్యాలు","sidebarElectron.sortMenu.created":"సృష్టించబడింది","sidebarElectron.sortMenu.title":"ద్వారా క్రమబద్ధీకరించండి","sidebarElectron.sortMenu.updated":"అప్‌డేట్ చేయబడింది","sidebarElectron.taskNavigation":"ఆటోమేషన్ ఫోల్డర్‌లు","sidebarElectron.tasksInFolder":"{folder}లో ఆటోమేషన్","sidebarElectron.workspaceOptions":"ప్రాజెక్ట్ చర్యలు {folder} కోసం","sidebarElectron.worktreeGroupTooltip":"ఇది ఒక గిట్ Worktree.","skills.appsPage.createSkill":"కొత్త నైపుణ్యం","skills.appsPage.empty.skills":"నైపుణ్యాలు ఏవీ కనుగొనబడలేదు","skills.appsPage.search.skills":"శోధన నైపుణ్యాలు","skills.appsPage.search.skills.label":"శోధన నైపుణ్యాలు","skills.appsPage.section.installedApps":"ఇన్‌స్టాల్ చేయడం జరిగింది","skills.appsPage.section.skills":"నైపుణ్యాలు","skills.appsPage.subheading":"Codex సూపర్ పవర్స్ ఇవ్వండి. <link>మరింత తెలుసుకోండి</link>","skills.appsPage.tab.recommended":"సిఫార్సు చేయబడింది","skills.appsPage.tab.skills":"నైపుణ్యాలు","skills.card.contentsError":"నైపుణ్య విషయాలను లోడ్ చేయలేకపోయాము.","skills.card.disable":"డిసేబుల్ చేయండి","skills.card.disableSuccess":"{skillName} నైపుణ్యం ప్రారంభించబడింది","skills.card.disabledBadge":"డిసేబుల్ చేయబడింది","skills.card.enable":"ఎనేబుల్ చేయి","skills.card.enableSuccess":"{skillName} నైపుణ్యం ప్రారంభించబడింది","skills.card.loadingContents":"నైపుణ్య కంటెంట్‌లను లోడ్ చేస్తోంది...","skills.card.more":"మరిన్ని చర్యలు","skills.card.open":"తెరవండి","skills.card.removeFailed":"నైపుణ్యాన్ని అన్‌ఇన్‌స్టాల్ చేయడంలో విఫలమైంది","skills.card.removeSuccess":"{skillName} నైపుణ్యం అన్‌ఇన్‌స్టాల్ చేయబడింది","skills.card.toggleEnabledError":"నైపుణ్యాన్ని నవీకరించడంలో విఫలమైంది","skills.card.try":"ప్రయత్నించండి","skills.card.trySkill":"నైపుణ్యాన్ని ప్రయత్నించండి","skills.card.uninstall":"అన్‌ఇన్‌స్టాల్ చేయండి","skills.hero.dotLabel":"{index}వ స్లయిడ్‌కు వెళ్లండి","skills.hero.next":"తదుపరి ప్రత్యేక నైపుణ్యం","skills.hero.trySkill":"నైపుణ్యాన్ని ప్రయత్నించండి","skills.page.createSkill":"కొత్త నైపుణ్యం","skills.page.empty":"నైపుణ్యాలు ఏవీ కనుగొనబడలేదు","skills.page.filteredEmpty":"మీ ఫిల్టర్‌లకు సరిపోలే అంశాలు ఏవీ లేవు","skills.page.filteredEmptyDescription":"మీ శోధన లేదా స్కోప్ ఫిల్టర్‌లను సర్దుబాటు చేయడానికి ప్రయత్నించండి","skills.page.heading":"నైపుణ్యాలు","skills.page.loading":"నైపుణ్యాలను లోడ్ చేస్తోంది...","skills.page.refreshSkills":"రిఫ్రెష్ చేయండి","skills.page.refreshSkillsToUseNew":"కొత్త నైపుణ్యాలను ఉపయోగించడానికి రిఫ్రెష్ చేయండి)","skills.page.search":"శోధన నైపుణ్యాలు","skills.page.search.label":"శోధన నైపుణ్యాలు","skills.page.subheading":"Codex సూపర్ పవర్స్ ఇవ్వండి. <link>మరింత తెలుసుకోండి</link>","skills.preview.copyPrompt":"ప్రాంప్ట్‌ను కాపీ చేయండి","skills.preview.examplePrompt":"ప్రాంప్ట్ ఉదాహరణ","skills.recommended.error":"సిఫార్సు చేయబడిన నైపుణ్యాలను లోడ్ చేయడం సాధ్యం కాలేదు","skills.recommended.install":"ఇన్‌స్టాల్ చేయండి","skills.recommended.installSkill":"నైపుణ్యాన్ని ఇన్‌స్టాల్ చేయండి","skills.recommended.installSuccess":"{skillName} నైపుణ్యం ఇన్‌స్టాల్ చేయబడింది","skills.recommended.installed":"ఇన్‌స్టాల్ చేయడం జరిగింది","skills.scope.admin":"అడ్మిన్","skills.scope.adminInstalled":"నిర్వాహకుడు ఇన్‌స్టాల్ చేయబడ్డారు","skills.scope.builtIn":"వ్యవస్థ","skills.scope.personal":"వ్యక్తిగతం","skills.scope.repo":"రెపో","skills.scope.system":"వ్యవస్థ","skills.scope.team":"జట్టు","skills.scope.user":"వినియోగదారు","skills.section.installed":"ఇన్‌స్టాల్ చేయడం జరిగింది","skills.section.recommended":"సిఫార్సు చేయబడింది","story.slidingToggle.existing":"ప్రస్తుతం ఉన్న","story.slidingToggle.fromLocal":"స్థానిక నుండి","story.slidingToggle.new":"కొత్తది","story.slidingToggle.toLocal":"స్థానికులకు","terminal.close":"టెర్మినల్‌ను మూసివేయండి","terminal.title":"టర్మినల్","thinkingShimmer.default":"ఆలోచిస్తోంది","threadEnvIcon.cloudTooltip":"ఈ సంభాషణ కోడెక్స్ క్లౌడ్‌లో జరుగుతోంది.","threadEnvIcon.localTooltip":"ఈ సంభాషణ స్థానికంగా జరుగుతోంది.","threadEnvIcon.worktreeTooltip":"ఈ సంభాషణ స్థానిక గిట్ వర్క్‌ట్రీలో జరుగుతోంది.","threadHeader.archiveConfirmCancel":"రద్దు చేయండి","threadHeader.archiveConfirmConfirm":"ఆర్కైవ్","threadHeader.archiveConfirmSubtitle":"మీరు దానిని తర్వాత మీ ఆర్కైవ్ చేయబడిన థ్రెడ్స్‌లో కనుగొనవచ్చు.","threadHeader.archiveConfirmTitle":"థ్రెడ్‌ను ఆర్కైవ్ చేయాలా?","threadHeader.copyAppLink":"డీప్‌లింక్‌ను కాపీ చేయండి","threadHeader.copySessionId":"సెషన్ IDని కాపీ చేయి","threadHeader.copyWorkingDirectory":"పని చేసే డైరెక్టరీని కాపీ చేయండి","threadHeader.forkIntoLocal":"స్థానికంగా ఫోర్క్ చేయండి","threadHeader.forkIntoWorktree":"కొత్త వర్క్‌ట్రీలోకి ఫోర్క్ చేయండి","threadHeader.forkPendingWorktreePrompt":"ఈ సంభాషణను కొత్త వర్క్‌ట్రీలోకి మార్చండి.","threadHeader.forkPendingWorktreeTitle":"ఫోర్క్డ్ సంభాషణ","threadHeader.forkThreadError":"థ్రెడ్‌ను ఫోర్క్ చేయడం విఫలమైంది","threadHeader.forkThreadRequiresGitRepo":"కొత్త వర్క్‌ట్రీలోకి ఫోర్క్ చేయడానికి జిట్ రిపోజిటరీ అవసరం.","threadHeader.moreActions":"థ్రెడ్ కార్యాలు","threadPage.newThread":"కొత్త థ్రెడ్","threadPage.runAction.changeEnvironment":"Change environment","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} చర్యలు","threadPage.runAction.environmentSelector.label":"Choose environment","threadPage.runAction.label":"రన్ చేయి","threadPage.runAction.missing.label":"రన్ యాక్షన్‌ను సెటప్ చేయండి","threadPage.runAction.setup.commandLabel":"నడపడానికి ఆదేశం","threadPage.runAction.setup.description":"Codexకి డిపెండెన్సీలను ఎలా ఇన్‌స్టాల్ చేయాలో మరియు మీ యాప్‌ను ఎలా ప్రారంభించాలో చెప్పండి.","threadPage.runAction.setup.editMore":"పర్యావరణ సెట్టింగ్‌లు","threadPage.runAction.setup.placeholder":"ఉదా: npm install npm run","threadPage.runAction.setup.submit":"సేవ్ చేసి అమలు చేయండి","threadPage.runAction.setup.title":"రన్ చేయి","threadPage.runAction.tooltip.withEnvironment":"{environmentName} చర్యలు","threadPage.toggleDiffPanel":"తేడా ప్యానెల్‌ను టోగుల్ చేయండి","threadPage.toggleTerminal":"టెర్మినల్‌ను టోగుల్ చేయండి","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ఫోల్డర్‌ను తెరవండి","toolSummaryForCmd.exploredFiles":"<verb>జాబితా చేయబడిన</verb> ఫైల్‌లు","toolSummaryForCmd.exploredFilesInPath":"{path}లో <verb>జాబితా చేయబడిన</verb> ఫైల్‌లు","toolSummaryForCmd.exploringFiles":"ఫైల్‌లను <verb>జాబితా చేస్తోంది</verb>","toolSummaryForCmd.exploringFilesInPath":"{path}లో ఫైళ్ళను <verb>జాబితా చేస్తోంది</verb>","toolSummaryForCmd.ranGenericCommand":"<status>కమాండ్ అమలు చేయబడింది</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ran</status> {command}{timer}","toolSummaryForCmd.read":"{path}ను <verb>చదవండి</verb>","toolSummaryForCmd.runningGenericCommand":"<status>కమాండ్‌ను అమలు చేస్తోంది</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} కోసం","toolSummaryForCmd.searchedFor":"{query} కోసం <verb>శోధించబడింది</verb>","toolSummaryForCmd.searchedForFiles":"ఫైల్‌ల కోసం <verb>శోధించారు</verb>","toolSummaryForCmd.searchedForInPath":"{path}లో {query} కోసం <verb>శోధించారు</verb>","toolSummaryForCmd.searchingFor":"{query} కోసం <verb>వెతుకుతోంది</verb>","toolSummaryForCmd.searchingForFiles":"ఫైల్‌ల కోసం <verb>శోధిస్తోంది</verb>","toolSummaryForCmd.searchingForInPath":"{path}లో {query} కోసం <verb>శోధించారు</verb>","traceRecording.details.noteLabel":"ఈ సంఘటన జరిగినప్పుడు మీరు ఏమి చేస్తున్నారు? (ఐచ్ఛికం)","traceRecording.details.notePlaceholder":"ఒక పెద్ద థ్రెడ్‌కు వెళ్ళాను, ఆపై పదేపదే ట్యాబ్‌లను మార్చాను...","traceRecording.details.submit":"ట్రేస్‌ను పంపండి","traceRecording.details.subtitle":"పనితీరు సమస్యలను నిర్ధారించడంలో సహాయపడటానికి మేము ఈ ప్రొఫైల్ ట్రేస్‌ను పంపగలము.","traceRecording.details.title":"ప్రొఫైల్ ట్రేస్‌ను పంపాలా?","traceRecording.progress.subtitle":"ఈ ప్రక్రియ పూర్తయ్యే వరకు Codexను తెరిచి ఉంచండి.","traceRecording.saving.title":"ట్రేస్ సేవ్ చేస్తోంది...","traceRecording.startDetails.cancel":"రద్దు చేయండి","traceRecording.startDetails.submit":"సరే, రికార్డింగ్ ప్రారంభించండి","traceRecording.startDetails.subtitle":"మీరు 'సరే'పై క్లిక్ చేసిన తర్వాత, పనితీరు సమస్యను మళ్లీ సృష్టించండి, ఆపై ట్రేస్‌ను ఆపి, సమీక్షించడానికి ఫ్లోటింగ్ ఎరుపు సూచికపై క్లిక్ చేయండి.","traceRecording.startDetails.title":"ట్రేస్ రికార్డింగ్ ఎలా పనిచేస్తుంది","traceRecording.stopButton.ariaLabel":"ట్రేస్ రికార్డింగ్‌ను ఆపివేయండి","traceRecording.upload.successToast":"ప్రొఫైల్ ట్రేస్ పంపబడింది.","traceRecording.uploading.title":"ట్రేస్ అప్‌లోడ్ చేస్తోంది…","wham.diff.addComment":"కామెంట్ؚను జోడించు","wham.diff.binaryFile":"బైనరీ ఫైల్ చూపబడలేదు","wham.diff.noContent":"కంటెంట్ లేదు","wham.fileTag.deleted":"తొలగించబడింది","wham.fileTag.new":"కొత్తది","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}గంటలు","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}నిమిషాలు","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}mo","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}w","wham.formattedRelativeDateTime.compactYearsAgo":"{value}y","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"మీ టాస్క్‌ పై పనిచేస్తోంది","wham.whamProposedTask.title":"సూచించబడిన టాస్క్‌","wham.whamProposedTask.useSuggestion":"సూచనను ఉపయోగించండి","workspaceRootDialog.addError":"ప్రాజెక్ట్‌ను జోడించడంలో విఫలమైంది","workspaceRootDialog.cancel":"రద్దు చేయండి","workspaceRootDialog.confirmAdd":"ప్రాజెక్ట్‌ను జోడించండి","workspaceRootDialog.confirmPick":"ప్రాజెక్ట్‌ను ఉపయోగించండి","workspaceRootDialog.description":"ప్రాజెక్ట్‌గా ఉపయోగించడానికి {host}వ నంబర్‌పై ఒక మార్గాన్ని నమోదు చేయండి.","workspaceRootDialog.pathLabel":"ప్రాజెక్ట్ మార్గం","workspaceRootDialog.pathPlaceholder":"/హోమ్/మీరు/ప్రాజెక్ట్","workspaceRootDialog.title.add":"ప్రాజెక్ట్ మార్గాన్ని జోడించండి","workspaceRootDialog.title.pick":"ప్రాజెక్ట్ మార్గాన్ని ఎంచుకోండి","worktreeInitV2.cancel":"రద్దు చేయండి","worktreeInitV2.notification.failedTitle":"వర్క్‌ట్రీ సెటప్ విఫలమైంది","worktreeInitV2.output.empty":"అవుట్‌పుట్ కోసం వేచి ఉంది...","worktreeInitV2.status.error":"వర్క్‌ట్రీ సెటప్ విఫలమైంది.","worktreeInitV2.status.running":"వర్క్‌ట్రీని సృష్టించి, సెటప్‌ను అమలు చేయడం.","worktreeInitV2.status.runningFork":"ఈ సంభాషణను ఫోర్క్ చేయడానికి వర్క్‌ట్రీని సృష్టిస్తోంది.","worktreeInitV2.status.success":"వర్క్‌ట్రీ సిద్ధంగా ఉంది.","worktreeInitV2.title":"Worktree సృష్టిస్తోంది","worktreeInitV2.workLocallyInstead":"బదులుగా స్థానికంగా పని చేయండి","worktreeRestoreBanner.body":"డిస్క్ స్థలాన్ని ఆదా చేయడానికి ఈ థ్రెడ్ యొక్క వర్క్‌ట్రీ తొలగించబడింది","worktreeRestoreBanner.missing.body":"ఈ థ్రెడ్ యొక్క వర్కింగ్ డైరెక్టరీ ఇప్పుడు ఉనికిలో లేదు","worktreeRestoreBanner.missing.title":"ప్రస్తుతం పనిచేస్తున్న డైరెక్టరీ లేదు","worktreeRestoreBanner.restore.error":"Failed to restore worktree: {message}","worktreeRestoreBanner.restore.success":"Worktree restored","worktreeRestoreBanner.restoreCta":"Restore worktree","worktreeRestoreBanner.title":"Worktree cleaned up"};export{e as default};
+const e={"CopyButton.copyTooltip":"కాపీ చేయండి","app.sidebar.hide":"సైడ్‌బార్‌ను దాచు","app.sidebar.show":"సైడ్‌బార్ చూపించు","app.sidebar.tooltip":"సైడ్‌బార్‌ను టోగుల్ చేయండి","appHeader.installUpdate":"నవీకరించు","appSunset.body":"ఈ యాప్ వెర్షన్‌కు ఇకపై మద్దతు లేదు. దయచేసి తాజా వెర్షన్‌ను <here>ఇక్కడ</here> డౌన్‌లోడ్ చేసుకోండి.","appSunset.title":"అప్‌డేట్ అవసరం","automation.updateDirective.create":"సృష్టించండి","automation.updateDirective.open":"తెరవండి","automation.updateDirective.untitled":"పేరులేని ఆటోమేషన్","automation.updateDirective.update":"నవీకరించు","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# ప్రయత్నం} other {# ప్రయత్నాలు}}","cloudTaskRow.archiveError":"టాస్క్‌ను ఆర్కైవ్ చేయడంలో విఫలమైంది","code.diff.requestChange":"మార్పును అభ్యర్దించండి","code.diffComment.cancel":"రద్దు చేయండి","code.diffComment.comment":"కామెంట్","code.diffComment.delete":"తొలగించండి","code.diffComment.save":"సేవ్ చేయండి","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"ఎటువంటి ఫలితాలు నివేదించబడలేదు.","codex.alert.closeAriaLabel":"మూసివేయి","codex.appUpsellBanner.cbpApi.message":"Codex యాప్‌తో వేగంగా నిర్మించండి. ఇప్పుడే డౌన్‌లోడ్ చేసుకోండి లేదా {learnMoreLink}.","codex.appUpsellBanner.download":"డౌన్‌లోడ్ చేయండి","codex.appUpsellBanner.freeGo.message":"Codex మార్చి 2వ తేదీ వరకు మీ ప్రణాళికలో చేర్చబడింది. వేగంగా అభివృద్ధి చేయడానికి Codex యాప్‌ను ప్రయత్నించండి.","codex.appUpsellBanner.later":"తర్వాత","codex.appUpsellBanner.learnMoreLowercase":"మరింత తెలుసుకోండి","codex.appUpsellBanner.new":"కొత్తది","codex.appUpsellBanner.proPlusBusiness.message":"ఏప్రిల్ 2 వరకు 2x రేటు పరిమితులతో Codex యాప్‌ను ప్రయత్నించండి. ఇప్పుడే డౌన్‌లోడ్ చేసుకోండి లేదా {learnMoreLink}.","codex.appUpsellBanner.title":"Codex యాప్","codex.applyDropdown.header.changes":"మార్పులు","codex.applyDropdown.header.fileCount":"{count, plural, one {# ఫైల్} other {# ఫైల్‌లు}}","codex.applyDropdown.header.rows":"వరుసలు","codex.applyDropdown.header.title":"మార్పులను వర్తింపజేయండి","codex.applyDropdown.header.workspace":"ప్రాజెక్ట్","codex.applyDropdown.results.conflicted":"{count, plural, one {1 file conflicted:} other {{count} files conflicted:}}","codex.applyDropdown.results.empty":"No files were copied","codex.applyDropdown.results.skipped":"{count, plural, one {1 ఫైల్ దాటవేయబడింది:} other {{count} files skipped:}}","codex.applyOrRevertBanner.apply":"వర్తించు","codex.applyOrRevertBanner.applyMessage":"మార్పులను వర్తింపజేసి స్థానికంగా కొనసాగించాలా?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"ఈ పని {environment}లో చేయబడింది కాబట్టి పూర్తిగా వర్తించకపోవచ్చు.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment}లో చేసిన మార్పులు పూర్తిగా వర్తించకపోవచ్చు.","codex.applyOrRevertBanner.reapply":"మళ్ళీ దరఖాస్తు చేసుకోండి","codex.applyOrRevertBanner.revert":"తిరిగి సమాధానం ఇవ్వడం","codex.applyOrRevertBanner.revertMessage":"వర్తింపజేసిన మార్పులను తిరిగి మార్చాలా?","codex.applyResultsDialog.applied":"శుభ్రంగా వర్తింపజేయబడింది ({count})","codex.applyResultsDialog.close":"మూసివేయి","codex.applyResultsDialog.conflicted":"వివాదాస్పదం ({count})","codex.applyResultsDialog.noDetails":"ఫైల్ వివరాలు అందుబాటులో లేవు.","codex.applyResultsDialog.skipped":"({count}) దాటవేయబడింది","codex.applyResultsDialog.title":"ఫలితాలను వర్తింపజేయండి","codex.archiveInfo":"{dataControlsLink}లో ఆర్కైవ్ చేయబడిన చాట్‌లను వీక్షించండి.","codex.archiveInfo.dataControlsLink":"డేటా నియంత్రణలు","codex.archiveInfo.electron":"{settingsLink}లో ఆర్కైవ్ చేయబడిన చాట్‌లను వీక్షించండి.","codex.archiveInfo.extension":"మీ .codex ఫోల్డర్‌లో ఆర్కైవ్ చేయబడిన చాట్‌లను చూడండి.","codex.archiveInfo.settingsLink":"సెట్టింగ్‌లు","codex.banner.content.description":"పనులను సమాంతరంగా అమలు చేయండి, ఎక్కడైనా పురోగతిని ట్రాక్ చేయండి మరియు AIతో PRలను సమీక్షించండి.","codex.banner.content.headline":"Codex అన్నీ చేస్తుంది.","codex.cloudTaskRow.archiveTask":"పనిని ఆర్కైవ్ చేయండి","codex.cloudTaskRow.confirmArchiveTask":"నిర్ధారించండి","codex.command.feedback":"ఫీడ్‌బ్యాక్‌","codex.command.findInThread":"కనుగొనండి","codex.command.forceReloadSkills":"బలవంతంగా నైపుణ్యాలను మళ్లీ లోడ్ చేయండి","codex.command.logOut":"లాగ్అవుట్ చేయి","codex.command.manageTasks":"పనులను నిర్వహించండి","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"వెనుకకు","codex.command.navigateForward":"ఫార్‌వర్డ్","codex.command.newThread":"కొత్త థ్రెడ్","codex.command.nextThread":"తర్వాతి థ్రెడ్","codex.command.openFolder":"ఫోల్డర్‌ను తెరవండి","codex.command.openSkills":"నైపుణ్యాలకు వెళ్లండి","codex.command.openThreadOverlay":"పాప్ అవుట్ థ్రెడ్","codex.command.personalitySettings":"వ్యక్తిత్వం","codex.command.previousThread":"మునుపటి థ్రెడ్","codex.command.settings":"సెట్టింగ్‌లు","codex.command.toggleDiffPanel":"తేడా ప్యానెల్‌ను టోగుల్ చేయండి","codex.command.toggleSidebar":"సైడ్‌బార్‌ను టోగుల్ చేయండి","codex.command.toggleTerminal":"టెర్మినల్‌ను టోగుల్ చేయండి","codex.commandGroup.app":"యాప్","codex.commandGroup.configure":"కాన్ఫిగర్ చేయి","codex.commandGroup.navigation":"నావిగేషన్","codex.commandGroup.panels":"ప్యానెల్‌లు","codex.commandGroup.skills":"నైపుణ్యాలు","codex.commandGroup.thread":"థ్రెడ్","codex.commandGroup.workspace":"ప్రాజెక్ట్","codex.commandMenu.noResults":"మ్యాచ్‌లు ఏవీ లేవు","codex.commandMenu.searchPlaceholder":"శోధన ఆదేశాలు","codex.commandMenu.suggestedGroup":"సూచించనది","codex.commandMenu.switchWorkspace":"ప్రాజెక్ట్‌ను మార్చండి","codex.commandMenu.title":"కమాండ్ మెను","codex.common.retry":"మళ్లీ ప్రయత్నించండి","codex.composer.searchBranches":"శాఖలను శోధించండి","codex.dialog.basic.body":"ఇది రాడిక్స్ డైలాగ్ చుట్టూ ఉన్న మా రేపర్‌ని ఉపయోగించే ఒక సాధారణ మోడల్ డైలాగ్.","codex.dialog.basic.cancel":"రద్దు చేయండి","codex.dialog.basic.confirm":"నిర్ధారించండి","codex.dialog.basic.open":"డైలాగ్ తెరవండి","codex.dialog.basic.title":"నమూనా డైలాగ్","codex.dialog.long.close":"మూసివేయి","codex.dialog.long.line":"డైలాగ్ లోపల పొడవైన కంటెంట్‌ను ప్రదర్శించడానికి స్క్రోల్ చేయగల పంక్తి {index}.","codex.dialog.long.open":"దీర్ఘ డైలాగ్‌ను తెరవండి","codex.dialog.long.title":"దీర్ఘ కంటెంట్ డైలాగ్","codex.dialog.unstyled.body":"This story shows how callers can fully control the dialog content styling.","codex.dialog.unstyled.open":"Open Unstyled Dialog","codex.dialog.unstyled.title":"Unstyled Content","codex.diff.openInEditorPrompt.openButton":"ఎడిటర్‌లో తెరవండి","codex.diff.openInEditorPrompt.singleLine":"ఈ ఫైల్ ఇక్కడ ప్రదర్శించడానికి చాలా పెద్దదిగా ఉంది.","codex.diffView.failedToDecodeBase64Diff":"బేస్64 తేడా‌ను డీకోడ్ చేయడంలో విఫలమైంది.","codex.diffView.filesChanged":"{fileCount, plural, one {# ఫైల్ మార్చబడింది} other {# ఫైల్‌లు మార్చబడ్డాయి}}","codex.diffView.imagePreviewAlt":"చిత్రం ప్రివ్యూ","codex.diffView.imagePreviewEmpty":"చిత్రాలు లేవు","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"తేడా డేటా లేదు","codex.diffView.pdfPreview.nextPage":"తర్వాతి పేజీ","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"మునుపటి పేజీ","codex.diffView.pdfPreviewEmpty":"PDF ప్రివ్యూ అందుబాటులో లేదు","codex.diffView.pdfPreviewError":"PDF ప్రివ్యూను ప్రదర్శించలేకపోయాము","codex.diffView.richPreviewDisable":"రిచ్ ప్రివ్యూను నిలిపివేయండి","codex.diffView.richPreviewEnable":"రిచ్ ప్రివ్యూను ప్రారంభించండి","codex.diffView.richPreviewLoading":"ప్రివ్యూ లోడ్ అవుతోంది…","codex.diffView.richPreviewToggle":"రిచ్ ప్రివ్యూను టోగుల్ చేయి","codex.diffView.switchToUnified":"ఏకీకృత తేడాకు మారండి","codex.environmentSelector.noEnvironment":"పర్యావరణాలు లేవు","codex.environments.environmentSettings":"పర్యావరణ సెట్టింగ్‌లు","codex.environments.learnMore":"మరింత తెలుసుకోండి","codex.environments.listError":"పర్యావరణాలను లోడ్ చేయడంలో విఫలమైంది","codex.environments.noEnvironmentsFound":"వాతావరణాలు కనుగొనబడలేదు","codex.environments.searchError":"వాతావరణాలను శోధించడంలో విఫలమైంది.","codex.errorBoundary.genericError":"అయ్యో, ఒక లోపం సంభవించింది","codex.errorBoundary.goHome":"మళ్లీ ప్రయత్నించండి","codex.file.patch.missing":"Unable to build patch for this file.","codex.gallery.automations.cwdLabel":"ప్రాజెక్ట్‌లు","codex.gallery.automations.nameLabel":"పేరు","codex.gallery.automations.namePlaceholder":"Summarize a task","codex.gallery.automations.promptLabel":"ప్రాంప్ట్","codex.gallery.automations.promptPlaceholder":"Describe what Codex should do","codex.gallery.dialogs.automation.label":"Automation dialog","codex.gallery.dialogs.basic.body":"Use this layout for straightforward confirmations or short forms.","codex.gallery.dialogs.basic.cancel":"రద్దు చేయండి","codex.gallery.dialogs.basic.confirm":"నిర్ధారించండి","codex.gallery.dialogs.basic.label":"Basic dialog","codex.gallery.dialogs.basic.title":"నమూనా డైలాగ్","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"సమస్యను వివరించండి","codex.gallery.dialogs.feedbackSubmission.bad":"చెడు ఫలితం","codex.gallery.dialogs.feedbackSubmission.bug":"బగ్","codex.gallery.dialogs.feedbackSubmission.good":"మంచి ఫలితం","codex.gallery.dialogs.feedbackSubmission.includeLogs":"ప్రస్తుత Codex సెషన్ లాగ్‌లను చేర్చండి","codex.gallery.dialogs.feedbackSubmission.label":"Feedback submission","codex.gallery.dialogs.feedbackSubmission.other":"ఇతర","codex.gallery.dialogs.feedbackSubmission.placeholder":"సమస్యను ఇక్కడ వివరించండి","codex.gallery.dialogs.feedbackSubmission.submit":"సమర్పించండి","codex.gallery.dialogs.feedbackSubmission.title":"ఫీడ్‌బ్యాక్‌","codex.gallery.dialogs.feedbackSuccess.body":"అభిప్రాయం అప్‌లోడ్ చేయబడింది. సమస్య కొనసాగితే, దయచేసి గిట్‌హబ్ ఇష్యూను తెరవండి లేదా ఇప్పటికే ఉన్న ఓపెన్ ఇష్యూలో థ్రెడ్ ఐడిని పేర్కొనండి.","codex.gallery.dialogs.feedbackSuccess.dismiss":"విస్మరించండి","codex.gallery.dialogs.feedbackSuccess.label":"Feedback success","codex.gallery.dialogs.feedbackSuccess.title":"అభిప్రాయం అప్‌లోడ్ చేయబడింది","codex.gallery.dialogs.gitApplyResults.applied":"శుభ్రంగా వర్తింపజేయబడింది (2)","codex.gallery.dialogs.gitApplyResults.close":"మూసివేయి","codex.gallery.dialogs.gitApplyResults.conflicted":"సంఘర్షణకు గురైనది: (1)","codex.gallery.dialogs.gitApplyResults.label":"ఫలితాలను వర్తింపజేయండి","codex.gallery.dialogs.gitApplyResults.title":"ఫలితాలను వర్తింపజేయండి","codex.gallery.dialogs.gitPushError.body":"Pull the latest changes or force push if you know the remote history is safe to overwrite.","codex.gallery.dialogs.gitPushError.cancel":"రద్దు చేయండి","codex.gallery.dialogs.gitPushError.force":"ఫోర్స్ పుష్","codex.gallery.dialogs.gitPushError.label":"Push error","codex.gallery.dialogs.gitPushError.subtitle":"Your branch is behind origin/main.","codex.gallery.dialogs.gitPushError.title":"మార్పులను పుష్ చేయడంలో విఫలమైంది","codex.gallery.dialogs.gitRevert.cancel":"రద్దు చేయండి","codex.gallery.dialogs.gitRevert.confirm":"తిరిగి సమాధానం ఇవ్వడం","codex.gallery.dialogs.gitRevert.label":"మార్పులను తిరిగి మార్చండి","codex.gallery.dialogs.gitRevert.skip":"మళ్లీ అడగకండి","codex.gallery.dialogs.gitRevert.subtitle":"ఈ చర్య ఈ మార్పులన్నింటినీ తీసివేస్తుంది.","codex.gallery.dialogs.gitRevert.title":"మార్పులను తిరిగి మార్చాలా?","codex.gallery.dialogs.longForm.label":"Long form dialog","codex.gallery.dialogs.proseModal.body":"This modal style is used for longer instructions, onboarding, or rich content blocks.","codex.gallery.dialogs.proseModal.close":"మూసివేయి","codex.gallery.dialogs.proseModal.subtitle":"Share longer form guidance or documentation here.","codex.gallery.dialogs.proseModal.title":"Prose modal","codex.gallery.dialogs.submitBlocked.label":"Submit blocked","codex.gallery.dialogs.submitBlocked.message":"ప్రాజెక్ట్ అందుబాటులో లేనందున మీ సందేశాన్ని పంపలేకపోయాము.","codex.gallery.dialogs.submitBlocked.ok":"అలాగే","codex.gallery.dialogs.submitBlocked.title":"సందేశం పంపలేకపోయింది","codex.gallery.dialogs.title":"Dialogs","codex.gallery.dropdown.filterPlaceholder":"Filter items","codex.gallery.dropdowns.actionRow":"Action rows","codex.gallery.dropdowns.actionRow.disabled":"Disabled action","codex.gallery.dropdowns.actionRow.primary":"Primary action","codex.gallery.dropdowns.actionRow.secondary":"ద్వితీయ చర్య","codex.gallery.dropdowns.actionRow.trigger":"Show actions","codex.gallery.dropdowns.basic":"Basic dropdown","codex.gallery.dropdowns.basic.newFile":"New file","codex.gallery.dropdowns.basic.newFolder":"కొత్త ఫోల్డర్","codex.gallery.dropdowns.basic.openSettings":"సెట్టింగ్‌లను తెరవండి","codex.gallery.dropdowns.basic.title":"Quick actions","codex.gallery.dropdowns.basic.trigger":"మెనూను తెరు","codex.gallery.dropdowns.basic.upload":"అప్‌లోడ్ చేయండి","codex.gallery.dropdowns.panel":"Panel surface","codex.gallery.dropdowns.panel.apply":"వర్తింపజేయండి","codex.gallery.dropdowns.panel.body":"మార్పులను సమీక్షించి, వాటిని మీ ప్రాజెక్ట్‌కు వర్తింపజేయండి.","codex.gallery.dropdowns.panel.preview":"ప్రివ్యూ","codex.gallery.dropdowns.panel.title":"మార్పులను వర్తింపజేయండి","codex.gallery.dropdowns.panel.trigger":"Open panel","codex.gallery.dropdowns.search":"Searchable dropdown","codex.gallery.dropdowns.search.first":"Alpha channel","codex.gallery.dropdowns.search.second":"Beta branch","codex.gallery.dropdowns.search.third":"Release candidate","codex.gallery.dropdowns.search.trigger":"Filter items","codex.gallery.dropdowns.submenu":"Dropdown with submenu","codex.gallery.dropdowns.submenu.optionA":"ప్రాజెక్ట్ ఆల్ఫా","codex.gallery.dropdowns.submenu.optionB":"ప్రాజెక్ట్ బీటా","codex.gallery.dropdowns.submenu.optionC":"ప్రాజెక్ట్ గామా","codex.gallery.dropdowns.submenu.primary":"యజమానిని అసైన్ చేయి","codex.gallery.dropdowns.submenu.secondary":"దీని కోసం తరలించండి","codex.gallery.dropdowns.submenu.tertiary":"ఆర్కైవ్","codex.gallery.dropdowns.submenu.trigger":"Choose action","codex.gallery.dropdowns.title":"Dropdowns","codex.gallery.inbox.automations.close":"మూసివేయి","codex.gallery.inbox.automations.popover.cardTitle":"ఆటోమేషన్‌లను నిర్వహించండి","codex.gallery.inbox.automations.popover.dialogTitle":"ఆటోమేషన్‌లను నిర్వహించండి","codex.header.settingsTooltip":"సెట్టింగ్‌లు","codex.hunk.patch.error":"స్టేజ్ విషయంలో విఫలమైంది","codex.hunk.patch.missing":"Unable to build patch for this hunk.","codex.hunk.patch.partialSuccess":"పాక్షిక విజయం","codex.hunk.patch.revertError":"అన్‌స్టేజ్ చేయడం విఫలమైంది","codex.hunk.patch.revertSuccess":"విజయవంతంగా అన్‌స్టేజ్ చేయబడింది","codex.hunk.patch.success":"విజయవంతంగా ‌స్టేజ్ చేయబడింది","codex.legal.autonomy.details":"మరిన్ని వివరాలకు, {link} చూడండి","codex.legal.autonomy.details.link":"Codex పత్రాలు","codex.legal.autonomy.title":"మీరు ఎంత స్వయంప్రతిపత్తిని ఇవ్వాలనుకుంటున్నారో నిర్ణయించుకోండి","codex.legal.backButton":"వెనుకకు","codex.legal.cloud.taskOne.meta":"openai/agi · అక్టోబర్ 12","codex.legal.cloud.taskOne.title":"కొత్త డిజైనర్‌కు రిపోజిటరీ గురించి వివరించండి.","codex.legal.cloud.taskThree.meta":"openai/codex · అక్టోబర్ 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"డార్క్ మోడ్ థీమ్‌ను సృష్టించండి","codex.legal.cloud.taskTwo.meta":"openai/agi · అక్టోబర్ 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"ఆన్‌బోర్డింగ్ బగ్‌ను పరిష్కరించండి","codex.legal.continue.apikey":"కొనసాగించండి","codex.legal.continueButton":"తరువాత","codex.legal.copilot.details":"అన్ని మోడల్ కాల్స్, బిల్లింగ్ మరియు రేటు పరిమితుల కోసం మీ కోపైలట్ ప్లాన్‌ను ఉపయోగిస్తుంది. Codex ఎక్స్‌టెన్షన్ వినియోగం {oaiTos} మరియు {gitHubTos} రెండింటికీ లోబడి ఉంటుంది.","codex.legal.copilot.gitHubTosLink":"GitHub సేవా నిబంధనలు","codex.legal.copilot.oaiTosLink":"OpenAI Codex సేవా నిబంధనలు","codex.legal.copilot.title":"GitHub కోపైలట్ ద్వారా ఆధారితం","codex.legal.mistakes.review":"అది వ్రాసే కోడ్‌ను సమీక్షించండి మరియు దానిని అమలు చేయమని ఆదేశించండి","codex.legal.mistakes.title":"Codex తప్పులు చేయవచ్చు","codex.legal.powered.details":"మీ ప్రణాళిక రేటు పరిమితులను మరియు {link}ను ఉపయోగించండి","codex.legal.powered.details.link":"శిక్షణ డేటా ప్రాధాన్యతలు","codex.legal.powered.title":"మీ ChatGPT ఖాతా ద్వారా ఆధారితం.","codex.legal.step.cloud.subtitle":"నేపథ్యంలో అమలు చేయడానికి Codex‌కు పనులను పంపండి, తద్వారా మీరు దృష్టి కేంద్రీకరించి వేగంగా కదలగలరు.","codex.legal.step.cloud.title":"క్లౌడ్‌లో Codex‌కు అప్పగించండి","codex.legal.step.intro.subtitle":"Codex మీ రెపోలో నేరుగా నావిగేట్ చేస్తుంది, సవరిస్తుంది, ఆదేశాలను అమలు చేస్తుంది మరియు పరీక్షలను అమలు చేస్తుంది. మీ ChatGPT ఖాతా ద్వారా ఆధారితం.","codex.legal.step.intro.title":"మీ IDE లోని Codex","codex.legal.step.todo.subtitle":"ఒక TODO వ్యాఖ్యను వ్రాసి, దానిని ఒకే క్లిక్‌తో Codex టాస్క్‌గా మార్చండి.","codex.legal.step.todo.title":"TODOలను Codex పనులుగా మార్చండి","codex.legal.todo.heading":"// TODO: స్కీమాను అమలు చేయండి","codex.localConversation.closeImagePreview":"Close image preview","codex.localConversation.userImageAttachment":"వినియోగదారు అటాచ్‌మెంట్","codex.localTaskRow.archiveTask":"ఆర్కైవ్ థ్రెడ్","codex.localTaskRow.awaitingApproval":"ఆమోదం కోసం వేచి ఉంది","codex.localTaskRow.awaitingResponse":"ప్రతిస్పందన కోసం వేచి ఉంది","codex.localTaskRow.confirmArchiveTask":"నిర్ధారించండి","codex.loggedOut.apiKeyPrompt.cancel":"రద్దు చేయండి","codex.loggedOut.apiKeyPrompt.confirm":"అలాగే","codex.loggedOut.apiKeyPrompt.getKey":"API కీని పొందండి","codex.loggedOut.apiKeyPrompt.inputLabel":"మీ OpenAI API కీని నమోదు చేయండి","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"API కీతో క్లౌడ్ పనులు నిలిపివేయబడ్డాయి","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"కోపైలట్ మరియు API కీతో క్లౌడ్ టాస్క్‌లు నిలిపివేయబడ్డాయి","codex.loggedOut.signIn":"ChatGPTతో సైన్ ఇన్ చేయండి","codex.loggedOut.signIn.cancel":"సైన్-ఇన్‌ను రద్దు చేయండి","codex.loggedOut.signInWithCopilot":"GitHub కోపైలట్‌తో సైన్ ఇన్ చేయండి","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API కీని ఉపయోగించండి","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} సాధనం","codex.mcpTool.collapsedLabel.verb.called":"పిలిచారు","codex.mcpTool.collapsedLabel.verb.calling":"కాలింగ్","codex.mcpTool.embeddedResource.contentLabel":"కంటెంట్","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME రకం: ","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"సాధనం ఏ కంటెంట్‌ను తిరిగి ఇవ్వలేదు.","codex.mcpTool.rawPayloadHeading":"రా {server}.{tool} టూల్ కాల్ పేలోడ్","codex.menu.recent":"ఇటీవలి","codex.menu.seeAllHistory":"మొత్తం చరిత్రను చూడండి","codex.modelCapacityBanner.headline.noReset":"{modelName} ప్రస్తుతం సామర్థ్యంతో ఉంది. తర్వాత మళ్ళీ ప్రయత్నించండి లేదా మరొక మోడల్‌తో కొత్త సంభాషణను ప్రారంభించండి.","codex.modelCapacityBanner.headline.withReset":"{modelName} ప్రస్తుతం సామర్థ్యంలో ఉంది. {resetDate} తర్వాత మళ్ళీ ప్రయత్నించండి, లేదా మరొక మోడల్‌తో కొత్త సంభాషణను ప్రారంభించండి.","codex.modelCapacityBanner.title":"ఎంచుకున్న మోడల్ సామర్థ్యంలో ఉంది","codex.patch.change.contentsDeleted":"కంటెంట్‌లు తొలగించబడ్డాయి","codex.patch.change.created":"సృష్టించబడింది","codex.patch.change.created-file":"ఫైల్ సృష్టించబడింది","codex.patch.change.creating":"సృష్టిస్తోంది","codex.patch.change.deleted":"తొలగించబడింది","codex.patch.change.deleted-file":"తొలగించబడిన ఫైల్","codex.patch.change.deleting":"తొలగిస్తోంది","codex.patch.change.edited":"సవరించబడింది","codex.patch.change.edited-file":"ఫైల్ సవరించబడింది","codex.patch.change.editing":"సవరిస్తోంది","codex.patch.change.noChanges":"మార్పులు లేవు","codex.patch.change.rejected-add":"Rejected","codex.patch.change.rejected-delete":"Rejected","codex.patch.change.rejected-edit":"Rejected","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed}లో {total} పని పూర్తయింది","codex.plan.todoListCreated":"{total} టాస్క్‌లతో చేయవలసిన పనుల జాబితా సృష్టించబడింది","codex.profileDropdown.apiKeyAuth":"API కీతో లాగిన్ అయ్యారు","codex.profileDropdown.codexSettings":"Codex సెట్టింగ్‌లు","codex.profileDropdown.copilotAuth":"కోపైలట్‌తో లాగిన్ అయ్యారు","codex.profileDropdown.defaultAccountTitle":"డిఫాల్ట్ ఖాతా","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter to send long prompts","codex.profileDropdown.enterBehaviorError":"సెట్టింగ్‌లను అప్‌డేట్ చేయడంలో విఫలమైంది","codex.profileDropdown.getPlus":"అధిక పరిమితుల కోసం అప్‌గ్రేడ్ చేయండి","codex.profileDropdown.keyboardShortcuts":"కీబోర్డ్ షార్ట్‌కట్‌లు","codex.profileDropdown.language":"భాష","codex.profileDropdown.languageDefault":"స్వయం పరిశోధన","codex.profileDropdown.languageSearchPlaceholder":"భాషలను శోధించండి","codex.profileDropdown.languageUpdateError":"Failed to update language","codex.profileDropdown.logOut":"లాగ్అవుట్ చేయి","codex.profileDropdown.mcp":"MCP సెట్టింగ్‌లు","codex.profileDropdown.openConfigToml":"config.toml తెరవండి","codex.profileDropdown.openConfigToml.wsl":"WSL ఎన్విరాన్మెంట్‌లో config.tomlని తెరవండి","codex.profileDropdown.openExtensionSettings":"సెట్టింగ్‌లను తెరవండి","codex.profileDropdown.openMcpSettings":"MCP సెట్టింగ్‌లను తెరవండి","codex.profileDropdown.openOnStartup":"ప్రారంభంలో తెరవండి","codex.profileDropdown.openOnStartupError":"సెట్టింగ్‌లను అప్‌డేట్ చేయడంలో విఫలమైంది","codex.profileDropdown.openSkillsSettings":"నైపుణ్యాల సెట్టింగ్‌లను తెరవండి","codex.profileDropdown.personalAccountTitle":"వ్యక్తిగత ఖాతా","codex.profileDropdown.queueFollowUps":"ఫాలో-అప్‌లను క్యూలో ఉంచండి","codex.profileDropdown.queueFollowUpsError":"సెట్టింగ్‌లను అప్‌డేట్ చేయడంలో విఫలమైంది","codex.profileDropdown.readDocs":"పత్రాలను చదవండి","codex.profileDropdown.readSkillsDocs":"పత్రాలను చదవండి","codex.profileDropdown.runInWsl":"WSLలో రన్ చేయి","codex.profileDropdown.runInWslError":"సెట్టింగ్‌లను అప్‌డేట్ చేయడంలో విఫలమైంది","codex.profileDropdown.runInWslTooltip":"WSL లోపల Codex‌ను అమలు చేస్తుంది. మెరుగైన శాండ్‌బాక్స్ భద్రత మరియు మెరుగైన పనితీరు కోసం సిఫార్సు చేయబడింది.","codex.profileDropdown.settings":"IDE సెట్టింగ్‌లు","codex.profileDropdown.settingsPage":"సెట్టింగ్‌లు","codex.profileDropdown.signInWithOpenAI":"ChatGPTతో సైన్ ఇన్ చేయండి","codex.profileDropdown.skills":"నైపుణ్యాల సెట్టింగ్‌లు","codex.profileDropdown.switchToCopilotAccount":"కోపైలట్ ఖాతాను ఉపయోగించండి","codex.profileDropdown.switchToOpenAIAccount":"OpenAI ఖాతాను ఉపయోగించండి","codex.profileDropdown.todoCodelens":"TODO వ్యాఖ్యలను పరిష్కరించండి","codex.profileDropdown.todoCodelensError":"సెట్టింగ్‌లను అప్‌డేట్ చేయడంలో విఫలమైంది","codex.profileDropdown.windowsDocumentation":"Windows డాక్యుమెంటేషన్","codex.profileFooter.signedInFallback":"సెట్టింగ్‌లు","codex.profileFooter.upgrade":"అప్‌గ్రేడ్ చేయండి","codex.recentTasksMenu.clearSearch":"శోధనను క్లియర్ చేయండి","codex.recentTasksMenu.cloud":"క్లౌడ్ పనులు","codex.recentTasksMenu.count":"{count, plural, =0 {పనులు ఏవీ పురోగతిలో లేవు} one {# పని పురోగతిలో ఉంది} other {# పనులు పురోగతిలో ఉన్నాయి}}","codex.recentTasksMenu.empty":"థ్రెడ్‌లు ఏమీ లేవు","codex.recentTasksMenu.errorCloud":"టాస్క్‌లను లోడ్ చేయడంలో విఫలమైంది.","codex.recentTasksMenu.errorCloud.inline":"క్లౌడ్ టాస్క్‌లను లోడ్ చేయడంలో విఫలమైంది.","codex.recentTasksMenu.filterAll":"అన్నీ","codex.recentTasksMenu.filterCloudTasks":"క్లౌడ్ పనులను ఫిల్టర్ చేయండి","codex.recentTasksMenu.filterTooltip":"పర్యావరణం ఆధారంగా పనులను ఫిల్టర్ చేయండి","codex.recentTasksMenu.local":"స్థానిక పనులు","codex.recentTasksMenu.recent":"అన్ని పనులు","codex.recentTasksMenu.search":"ఇటీవలి పనులను శోధించండి","codex.recentTasksMenu.searchEmpty":"ఫలితాలు లేవు","codex.recentTasksMenu.tooltip":"టాస్క్ చరిత్ర","codex.recentTasksMenu.trigger":"ఇటీవలి పనులు. {count, plural, one {# పురోగతిలో ఉంది} other {# పురోగతిలో ఉంది}}","codex.remoteConversation.applyDiff.applyCta":"మార్పులను వర్తింపజేయండి","codex.remoteConversation.applyDiff.dropdownTitle":"Apply changes to a local branch","codex.remoteConversation.applyDiff.revertCta":"మార్పులను తిరిగి మార్చండి","codex.remoteConversation.closeImagePreview":"Close image preview","codex.remoteConversation.codexCloudTask":"మీరు <u>Codex క్లౌడ్</u> టాస్క్‌ను వీక్షిస్తున్నారు","codex.remoteConversation.errorWithMessage":"లోపం: {message}","codex.remoteConversation.loadingImage":"చిత్రాన్ని లోడ్ చేస్తోంది","codex.remoteConversation.openInWeb":"వెబ్‌లో తెరవండి","codex.remoteConversation.streaming":"ప్రారంభం అవుతోంది","codex.remoteConversation.turnFailed":"ఈ పని చేస్తున్నప్పుడు ఒక లోపం సంభవించింది","codex.remoteConversation.turnTab.loading":"{number} ప్రయత్నం","codex.remoteConversation.turnTab.title":"{number} ప్రయత్నం","codex.remoteConversation.userImageAttachment":"వినియోగదారు అటాచ్‌మెంట్","codex.remoteConversation.viewPreviousTurns":"వెబ్‌లో తెరవండి","codex.remoteConversation.viewPreviousTurns.buttonText":"తెరవండి","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"వెబ్‌లో తెరవండి","codex.review.copyGitApplyCommand":"git కాపీ చేసి కమాండ్‌ను వర్తింపజేయండి","codex.review.copyGitApplyCommand.toast":"git అప్లై ఆదేశాన్ని క్లిప్‌బోర్డుకు కాపీ చేసాము","codex.review.diffTooLarge.description":"ఈ మార్పుల వివరాలు రివ్యూలో ప్రదర్శించడానికి చాలా పెద్దవిగా ఉన్నాయి.","codex.review.diffTooLarge.title":"Diff is too large to display","codex.review.expandOrCollapseDiffButton.collapse":"అన్ని తేడాలను కుదించండి","codex.review.expandOrCollapseDiffButton.expand":"అన్ని తేడాలను విస్తరింపజేయండి","codex.review.expandOrCollapseDiffMenu.collapse":"అన్ని తేడాలను కుదించండి","codex.review.expandOrCollapseDiffMenu.expand":"అన్ని తేడాలను విస్తరింపజేయండి","codex.review.fileSearch.clear":"ఫైల్ ఫిల్టర్‌ను క్లియర్ చేయండి","codex.review.fileSearch.empty":"ప్రస్తుత ఫిల్టర్‌కు సరిపోయే ఫైళ్లు ఏవీ లేవు.","codex.review.fileSearch.label":"ఫైల్‌లను ఫిల్టర్ చేయండి","codex.review.fileSearch.placeholder":"ఫైల్‌లను ఫిల్టర్ చేయండి...","codex.review.filesChanged":"{num, plural, =0 {ఫైళ్లు ఏవీ మారలేదు} one {# ఫైల్ మార్చబడింది} other {# ఫైల్‌లు మార్చబడ్డాయి}}","codex.review.find.loadMore":"మరిన్ని మ్యాచ్‌లను లోడ్ చేయండి","codex.review.fullReview.hideFileTree":"ఫైల్ ట్రీని దాచండి","codex.review.fullReview.showFileTree":"ఫైల్ ట్రీని చూపించండి","codex.review.header.moreOptions":"ఎంపికలను సమీక్షించండి","codex.review.largeDiff.banner":"పెద్ద వ్యత్యాసం కనుగొనబడింది — ఒకేసారి ఒక ఫైల్ చూపబడుతోంది.","codex.review.loadFullFiles.disable":"Don't load full files","codex.review.loadFullFiles.enable":"Load full files","codex.review.noDiff":"File changes will appear here","codex.review.noDiff.gitInit.createRepository":"గిట్ రిపోజిటరీని సృష్టించండి","codex.review.noDiff.gitInit.creating":"సృష్టిస్తోంది...","codex.review.noDiff.gitInit.error":"Git init failed: {message}","codex.review.noDiff.gitInit.success":"Git repository created","codex.review.noDiff.gitRepoRequired.description":"ఈ ప్రాజెక్ట్‌లోని మార్పులను ట్రాక్ చేయండి మరియు రద్దు చేయండి","codex.review.noDiff.gitRepoRequired.title":"Create a Git repository","codex.review.noDiff.orNoLongerAvailable":"or the latest diffs are no longer available","codex.review.noDiff.reverted":"చివరి మలుపు తిరిగి మార్చబడింది","codex.review.noDiff.revertedOrCommitted":"చివరి మలుపు తిరిగి మార్చబడింది లేదా కట్టుబడి ఉంది.","codex.review.refreshGitQueries":"రిఫ్రెష్ చేయండి","codex.review.revert.file.error":"{path}ని తిరిగి మార్చడంలో విఫలమైంది","codex.review.revert.file.partialSuccess":"{path} పాక్షికంగా తిరిగి మార్చబడింది","codex.review.revert.file.success":"{path} తిరిగి మార్చబడింది","codex.review.revert.hunk.error":"{path}లో {hunkNumber} హంక్‌ను తిరిగి ఇవ్వడంలో విఫలమైంది","codex.review.revert.hunk.partialSuccess":"{path}లో {hunkNumber} హంక్‌ను పాక్షికంగా తిరిగి మార్చబడింది","codex.review.revert.hunk.success":"{path}లో {hunkNumber} హంక్ తిరిగి మార్చబడింది","codex.review.revert.section.error":"విభాగాన్ని తిరిగి మార్చడంలో విఫలమైంది","codex.review.revert.section.partialSuccess":"విభాగం పాక్షికంగా తిరిగి మార్చబడింది","codex.review.revert.section.success":"విభాగం తిరిగి మార్చబడింది","codex.review.revertDialog.cancel":"రద్దు చేయండి","codex.review.revertDialog.confirm":"నిర్ధారించండి","codex.review.revertDialog.message":"ఈ చర్య ఈ మార్పులన్నింటినీ తీసివేస్తుంది.","codex.review.revertDialog.skip":"మళ్లీ అడగకండి","codex.review.revertDialog.title":"మార్పులను తిరిగి మార్చాలా?","codex.review.richPreview.disable":"రిచ్ ప్రివ్యూను నిలిపివేయండి","codex.review.richPreview.enable":"రిచ్ ప్రివ్యూను ప్రారంభించండి","codex.review.source.cloud":"క్లౌడ్ మార్పులు","codex.review.source.local.all":"అన్ని శాఖ మార్పులు","codex.review.source.local.lastTurn":"చివరి మలుపు మార్పులు","codex.review.source.local.uncommitted":"అంగీకరించని మార్పులు","codex.review.source.worktree":"కమిట్ చేయని వర్క్‌ట్రీ మార్పులు","codex.review.stageFilter.empty.staged.description":"వాటిని ప్రదర్శించడానికి సవరణలను ఆమోదించండి","codex.review.stageFilter.empty.staged.title":"ఏ మార్పులూ ప్రదర్శించబడలేదు","codex.review.stageFilter.empty.unstaged.description":"కోడ్ మార్పులు ఇక్కడ కనిపిస్తాయి","codex.review.stageFilter.empty.unstaged.title":"మార్పులు ఏవీ స్టేజ్ చేయబడలేదు","codex.review.stageFilter.staged":"స్టేజ్డ్","codex.review.stageFilter.staged.count":"స్టేజ్డ్ · {count}","codex.review.stageFilter.unstaged":"అన్‌స్టేజ్డ్","codex.review.stageFilter.unstaged.count":"అన్‌స్టేజ్డ్ · {count}","codex.review.switchToSplit":"Switch to split diff","codex.review.switchToUnified":"ఏకీకృత తేడాకు మారండి","codex.review.toggleDiffView":"తేడా వీక్షణను టోగుల్ చేయండి","codex.review.wordDiffs.disable":"పదాల తేడాలను డిసేబుల్ చేయండి","codex.review.wordDiffs.enable":"పదాల తేడాలను ఎనేబుల్ చేయండి","codex.review.wrap.disable":"వర్డ్ ర్యాప్‌ను డిసేబుల్ చేయండి","codex.review.wrap.enable":"వర్డ్ ర్యాప్‌ను ఎనేబుల్ చేయండి","codex.section.patch.missing":"Unable to build patch for this section.","codex.shell.collapse":"షెల్‌ను కుదించు","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"షెల్ కంటెంట్‌లను కాపీ చేసారు","codex.shell.copy.copyTooltip":"షెల్ కంటెంట్‌లను కాపీ చేయండి","codex.shell.copyCommand":"కాపీ ఆదేశం","codex.shell.copyOutput":"అవుట్‌పుట్‌ను కాపీ చేయి","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"బాష్","codex.shell.expand":"షెల్‌ను విస్తరించండి","codex.shell.name":"షెల్","codex.shell.noOutput":"అవుట్‌పుట్ లేదు","codex.signInFailed.message":"సైన్ ఇన్ విఫలమైంది{rawMessage}","codex.stories.toast.show":"టోస్ట్ చూపించు","codex.stories.tooltip.basic":"ఇది ఒక టూల్‌టిప్","codex.stories.tooltip.hoverMe":"సంభాషణను ప్రారంభించలేకపోయాము.","codex.stories.tooltip.largerOffset":"ఈ టూల్‌టిప్‌లో పెద్ద ఆఫ్‌సెట్ ఉంది.","codex.stories.tooltip.offsetButton":"పెద్ద ఆఫ్‌సెట్","codex.stories.tooltip.shortcutButton":"షార్ట్‌కట్‌తో","codex.stories.tooltip.withShortcut":"టెర్మినల్‌ను టోగుల్ చేయండి","codex.taskRow.title":"కొత్త థ్రెడ్","codex.taskRowLayout.confirm":"నిర్ధారించండి","codex.threadFindBar.chatFilter":"Search chat","codex.threadFindBar.close":"Close find","codex.threadFindBar.diffFilter":"Search diffs","codex.threadFindBar.label":"Find in thread","codex.threadFindBar.nextResult":"Next result","codex.threadFindBar.noResults":"0 ఫలితాలు","codex.threadFindBar.placeholder":"థ్రెడ్‌లో శోధించండి…","codex.threadFindBar.placeholder.extension":"Search thread…","codex.threadFindBar.placeholder.review":"తేడాలను శోధించండి...","codex.threadFindBar.placeholder.review.extension":"తేడాలను శోధించండి...","codex.threadFindBar.previousResult":"Previous result","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {ఫైల్ మార్చబడింది#} other {# ఫైల్‌లు మార్చబడ్డాయి}}","codex.unifiedDiff.inlineLargeFile":"ఇన్‌లైన్‌లో రెండర్ చేయడానికి చాలా పెద్దది","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"అన్‌డూ చేయి","codex.unifiedDiff.revertPatchError":"మార్పులను తిరిగి మార్చడంలో విఫలమైంది","codex.unifiedDiff.revertPatchSuccess":"మార్పులు తిరిగి మార్చబడ్డాయి","codex.unifiedDiff.reviewChangesSuffix":"మార్పులు","codex.unifiedDiff.reviewShort":"సమీక్ష","codex.unifiedDiff.viewDiffTooltip":"సమీక్ష","codex.upsellBanner.business.headline":"ఇప్పుడే మరింత ప్రాప్యత పొందడానికి, మీ నిర్వాహకుడికి అభ్యర్థన పంపండి లేదా {resetDate} వరకు వేచి ఉండండి","codex.upsellBanner.cbp.headline":"ఇప్పుడే మరింత యాక్సెస్ పొందడానికి, మీ నిర్వాహకుడికి అభ్యర్థన పంపండి.","codex.upsellBanner.cta.addCredits":"క్రెడిట్‌లను జోడించండి","codex.upsellBanner.cta.upgradeAccount":"అప్‌గ్రేడ్ చేయండి","codex.upsellBanner.cta.viewUsage":"వాడుకను చూడండి","codex.upsellBanner.free.trialHeadline":"{resetDate} నాడు మీ రేట్ పరిమితి రీసెట్ అవుతుంది. Codex‌ను ఉపయోగించడం కొనసాగించడానికి మరియు GPT-5.3-కోడెక్స్‌కు ప్రాప్యత పొందడానికి, ఈరోజే మీ ఉచిత Plus ట్రయల్‌ను ప్రారంభించండి.","codex.upsellBanner.freeOrGo.headline":"మీ రేట్ పరిమితి {resetDate} వద్ద రీసెట్ అవుతుంది. Codex‌ను ఉపయోగించడం కొనసాగించడానికి, ఈరోజే Plusకు అప్‌గ్రేడ్ చేయండి.","codex.upsellBanner.general.headline":"మీ రేట్ పరిమితి {resetDate} వద్ద రీసెట్ చేయబడుతుంది.","codex.upsellBanner.general.title":"మీ Codex సందేశాలు అయిపోయాయి","codex.upsellBanner.go.trialHeadline":"మీ రేట్ పరిమితి {resetDate} వద్ద రీసెట్ అవుతుంది. కోడెక్స్‌ను ఉపయోగించడం కొనసాగించడానికి, ఈరోజే Plus యొక్క మీ ఉచిత ట్రయల్‌ను ప్రారంభించండి.","codex.upsellBanner.plus.headline":"మీ రేట్ పరిమితి {resetDate} వద్ద రీసెట్ అవుతుంది. Codex‌ను ఉపయోగించడం కొనసాగించడానికి, క్రెడిట్‌లను జోడించండి లేదా ఈరోజే ప్రోకు అప్‌గ్రేడ్ చేయండి.","codex.upsellBanner.pro.headline":"మీ రేట్ పరిమితి {resetDate} వద్ద రీసెట్ అవుతుంది. Codex‌ను ఇప్పుడు ఉపయోగించడం కొనసాగించడానికి క్రెడిట్‌లను జోడించండి.","codex.userMessage.autoResolveSync":"వైరుధ్యాలను స్వయంచాలకంగా పరిష్కరించండి","codex.userMessage.commentCount":"{count, plural, one {#కామెంట్} other {# కామెంట్‌లు}}","codex.userMessage.copiedAriaLabel":"కాపీ అయింది","codex.userMessage.copiedTooltip":"కాపీ అయింది","codex.userMessage.copyAriaLabel":"సందేశం కాపీ చేయి","codex.userMessage.copyTooltip":"కాపీ చేయండి","codex.userMessage.implementPlan":"Implement plan","codex.userMessage.noContent":"(కంటెంట్ లేదు)","codex.userMessage.priorConversation":"సంభాషణకు ముందు సూచనలు","codex.userMessage.reviewMode":"సమీక్ష మోడ్","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} కోసం","codex.webSearch.summary.verb.completed":"వెబ్‌లో వెతికించబడింది","codex.webSearch.summary.verb.inProgress":"వెబ్‌లో వెతుకుతోంది","codex.windowsInstallWslBanner.dismiss":"విస్మరించండి","codex.windowsInstallWslBanner.installWslCta":"శాండ్‌బాక్స్‌ను ఎనేబుల్ చేయండి","codex.windowsInstallWslBanner.learnMore":"మరింత తెలుసుకోండి","codex.windowsSandboxBanner.content":"ఫైల్‌సిస్టమ్ మరియు నెట్‌వర్క్ యాక్సెస్‌ను పరిమితం చేయడానికి ఏజెంట్ మోడ్ Windowsలో ప్రయోగాత్మక శాండ్‌బాక్స్‌ను ఉపయోగిస్తుంది. {sandboxLink}","codex.windowsSandboxBanner.title":"ఏజెంట్ మోడ్ కోసం శాండ్‌బాక్స్‌ను ఎనేబుల్ చేయండి","codex.windowsSubDropdown.windowsSandbox":"Windows శాండ్‌బాక్స్","codex.windowsSubDropdown.windowsSettings":"Windows సెట్టింగ్‌లు","codexUpgradeModal.body":"మా సరికొత్త ఫ్రాంటియర్ ఏజెంటిక్ కోడింగ్ నమూనా — మరింత తెలివైనది, వేగవంతమైనది మరియు సాధారణ సాంకేతిక పనులలో మరింత సామర్థ్యం కలది. {link}","codexUpgradeModal.close":"మూసివేయి","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"మరింత తెలుసుకోండి","codexUpgradeModal.title":"GPT-5.3-Codex‌ను పరిచయం చేస్తున్నాము","codexUpgradeModal.tryNewModel":"ఇప్పుడు GPT-5.3-Codex‌ను ప్రయత్నించండి","codexUpgradeModal.useExistingModel":"ప్రస్తుత నమూనా‌తో కొనసాగండి","commentAttachments.numComments":"{count, plural, one {#కామెంట్} other {# కామెంట్‌లు}}","commentAttachments.removeAriaLabel":"వ్యాఖ్యల అటాచ్‌మెంట్‌ను తీసివేయండి","common.close":"మూసివేయి","composer.addContext.openFilePickerError":"ఫైల్ పికర్‌ను తెరవలేకపోయాము","composer.addContextDropdown.ariaLabel":"ఫైల్‌లను మరియు మరిన్ని జోడించండి","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"ఫైల్‌లను మరియు మరిన్ని జోడించండి","composer.addPhotosAndFiles":"ఫోటోలను మరియు ఫైల్‌లను జోడించు","composer.atMentionList.emptyQuery":"ఫైల్‌ల కోసం శోధించడానికి టైప్ చేయండి","composer.atMentionList.loading":"శోధిస్తోంది...","composer.atMentionList.noResults":"ఫలితాలు లేవు","composer.attemptsSelector.option":"{count, plural, one {# వెర్షన్} other {# వెర్షన్‌లు}}","composer.attemptsSelector.tooltip":"Codex చేయడానికి సమాంతర ప్రయత్నాల సంఖ్య","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"ఆపు","composer.cloudFollowUp.cloud":"క్లౌడ్","composer.cloudFollowUp.local":"లోకల్","composer.cloudFollowUp.whereRun":"ఈ ఫాలో-అప్ ఎక్కడ జరగాలి?","composer.cloudTaskCreationError":"క్లౌడ్ టాస్క్‌ను సృష్టించడంలో ఎర్రర్ ఏర్పడింది","composer.cloudTaskError":"టాస్క్‌ను సృష్టించడంలో ఎర్రర్ ఏర్పడింది","composer.contextWindow.autoCompactionTooltipLine1":"Codex దాని సందర్భాన్ని స్వయంచాలకంగా కుదిస్తుంది","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"సందర్భ విండో:","composer.contextWindowUsageStatusFull":"{usage}% ఫుల్ అయింది","composer.contextWindowUsageStatusLeft":"{usage}% ఉపయోగించబడింది ({remaining}% మిగిలి ఉంది)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k టోకెన్లు ఉపయోగించబడ్డాయి","composer.customCliTooltip":"కస్టమ్ CLI ఎగ్జిక్యూటబుల్‌ను ఉపయోగించడం","composer.dictation.aria":"డిక్టేట్","composer.dictation.cancel.aria":"డిక్టేషన్‌ను ఆపు","composer.dictation.cancel.tooltip":"డిక్టేషన్‌ను ఆపు","composer.dictation.startError":"డిక్టేషన్‌ను ప్రారంభించలేకపోయాము","composer.dictation.submit.aria":"లిప్యంతరీకరణ చేసి పంపండి","composer.dictation.submit.tooltip":"లిప్యంతరీకరణ చేసి పంపండి","composer.dictation.tooltip":"డిక్టేట్ చేయడానికి నొక్కి పట్టుకోండి","composer.dictation.transcribeError":"ఆడియోను లిప్యంతరీకరించడం సాధ్యం కాలేదు","composer.dictation.unsupported":"ఈ పరికరంలో డిక్టేషన్ అందుబాటులో లేదు","composer.dropOverlay.holdShift":"వదలడానికి {key}ని పట్టుకోండి","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"కొత్త PR‌ను సృష్టించండి","composer.environmentSelector.error":"పర్యావరణాన్ని లోడ్ చేయడంలో లోపం ఏర్పడింది","composer.environmentSelector.goBack":"స్వరకర్తకి తిరిగి వెళ్ళండి","composer.environmentSelector.title":"పర్యావరణాన్ని ఎంచుకోండి","composer.environmentSelector.tooltip":"క్లౌడ్ వాతావరణాన్ని ఎంచుకోండి","composer.feedbackSlashCommand.title":"ఫీడ్‌బ్యాక్‌","composer.filePicker.selectFile":"ఒక ఫైల్‌ను ఎంచుకోండి","composer.filePicker.selectFiles":"ఫైల్‌లను ఎంచుకోండి","composer.followerTooltip":"కొనసాగించడానికి, ఈ సంభాషణ ప్రారంభమైన విండోకు తిరిగి వెళ్ళండి.","composer.footer.branchSwitch.checkoutError":"బ్రాంచ్‌ను మార్చడంలో విఫలమైంది: {message}","composer.footer.branchSwitch.createAndCheckout":"కొత్త బ్రాంచ్‌ను సృష్టించి, దానికి మారండి…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"కొత్త బ్రాంచ్‌ను సృష్టించి, దానికి మారడానికి మార్పులను కమిట్ చేయండి","composer.footer.branchSwitch.createBranchError":"బ్రాంచ్ సృష్టించడంలో విఫలమైంది: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"శాఖ పేరు","composer.footer.branchSwitch.createDialog.branchExistsError":"బ్రాంచ్ ఇప్పటికే ఉంది.","composer.footer.branchSwitch.createDialog.close":"మూసివేయి","composer.footer.branchSwitch.createDialog.createAndCheckout":"సృష్టించు మరియు చెక్అవుట్ చేయి","composer.footer.branchSwitch.createDialog.placeholder":"కొత్త శాఖ","composer.footer.branchSwitch.createDialog.title":"శాఖను సృష్టించండి మరియు చెక్అవుట్ చేయండి","composer.footer.branchSwitch.createDialog.trailingSlashError":"బ్రాంచ్ పేరు “/” తో ముగియకూడదు.","composer.footer.branchSwitch.tooltip":"శాఖను మార్చండి","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName}ని తనిఖీ చేయడానికి {fileCount, plural, one {# ఫైల్} other {# ఫైల్‌లు}}లో మార్పులకు కట్టుబడి ఉండండి.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"కమిట్ చేయండి","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName}ని తనిఖీ చేయడానికి {fileCount, plural, one {# ఫైల్} other {# ఫైల్‌లు}}లో మార్పులు.","composer.footer.branchSwitch.uncommittedDialog.cancel":"రద్దు చేయండి","composer.footer.branchSwitch.uncommittedDialog.commit":"బ్రాంచ్‌ను కమిట్ చేసి మార్చండి...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"కింది ఫైల్‌లకు మీరు చేసిన మార్పులు చెక్అవుట్ ద్వారా ఓవర్రైట్ చేయబడతాయి:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"కొనసాగించడానికి దయచేసి మీ మార్పులను కమిట్ చేయండి","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ఎంచుకున్న శాఖ","composer.footer.branchSwitch.uncommittedDialog.title":"బ్రాంచ్ మారడానికి మార్పులను కమిట్ చేయండి","composer.footer.branchSwitch.uncommittedSummaryPrefix":"నిబద్ధత లేనిది: {fileCount, plural, one {# ఫైల్} other {# ఫైల్‌లు}}","composer.forkSlashCommand.description":"ఈ థ్రెడ్‌ను లోకల్ లేదా కొత్త వర్క్‌ట్రీలోకి ఫోర్క్ చేయండి","composer.forkSlashCommand.option.local.description":"కొత్త స్థానిక థ్రెడ్‌లో కొనసాగించండి","composer.forkSlashCommand.option.local.title":"స్థానికంగా ఫోర్క్ చేయండి","composer.forkSlashCommand.option.worktree.description":"కొత్త వర్క్‌ట్రీలో కొనసాగించండి","composer.forkSlashCommand.option.worktree.title":"కొత్త వర్క్‌ట్రీలోకి ఫోర్క్ చేయండి","composer.forkSlashCommand.title":"ఫోర్క్","composer.ideContextIndicator":"IDE సందర్భం","composer.ideContextIndicator.tooltipSlashCommand":"/ఐడిఇ","composer.ideContextIndicator.tooltipText":"IDE నుండి సందర్భాన్ని చేర్చండి","composer.ideContextIndicator.tooltipToggle":"టాగల్ చేయడానికి","composer.ideContextSlashCommand.disableDescription":"IDE సందర్భాన్ని ఆఫ్ చేయండి","composer.ideContextSlashCommand.enableDescription":"మీ IDE నుండి ప్రస్తుత ఎంపిక, తెరిచిన ఫైల్‌లు మరియు ఇతర సందర్భాలను చేర్చండి","composer.ideContextSlashCommand.title":"IDE సందర్భం","composer.imageInputsUnsupported":"ఈ నమూనా చిత్ర రూపంలో ఉండే ఇన్‌పుట్‌లకు మద్దతు ఇవ్వదు. దయచేసి వేరే నమూనా‌ను ప్రయత్నించండి.","composer.imageUploadFailed":"చిత్రాన్ని అప్‌లోడ్ చేయడం విఫలమైంది","composer.includeIdeContextDropdown":"IDE సందర్భాన్ని చేర్చండి","composer.includeIdeContextDropdown.ariaLabel":"IDE సందర్భాన్ని చేర్చండి","composer.localCwdDropdown.addWorkspaceRoot":"కొత్త ప్రాజెక్ట్‌ను జోడించండి","composer.localCwdDropdown.noActiveRoot":"మీ ప్రాజెక్ట్‌ను ఎంచుకోండి","composer.localCwdDropdown.noResults":"ఫోల్డర్‌లు ఏవీ కనుగొనబడలేదు","composer.localCwdDropdown.title":"మీ ప్రాజెక్ట్‌ను ఎంచుకోండి","composer.localTaskError":"సంభాషణను ప్రారంభించడంలో లోపం ఏర్పడింది","composer.mcpSlashCommand.description":"MCP సర్వర్ స్థితిని చూపండి","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ప్రామాణీకరించబడలేదు","composer.mcpStatus.authOauth":"ప్రామాణీకరించబడింది (OAuth)","composer.mcpStatus.authToken":"ప్రామాణీకరించబడింది (API కీ)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"మూసివేయి","composer.mcpStatus.disabled":"డిసేబుల్ చేయబడింది","composer.mcpStatus.emptyLabel":"సర్వర్లు:","composer.mcpStatus.emptyValue":"MCP సర్వర్లు ఏవీ కాన్ఫిగర్ చేయబడలేదు","composer.mcpStatus.enabled":"ఎనేబుల్ చేయండి","composer.mcpStatus.errorLabel":"స్థితి:","composer.mcpStatus.errorValue":"MCP స్థితిని లోడ్ చేయలేకపోయింది","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ఏజెంట్","composer.mode.agentMode.auto.dropdownLabel":"ఏజెంట్","composer.mode.agentMode.auto.optionLabel":"ఏజెంట్","composer.mode.agentMode.changePermission":"మోడల్‌ను మార్చు","composer.mode.agentMode.custom":"కస్టమ్","composer.mode.agentMode.custom.dropdownLabel":"కస్టమ్","composer.mode.agentMode.custom.option":"కస్టమ్ (config.toml)","composer.mode.agentMode.custom.optionLabel":"కస్టమ్ (config.toml)","composer.mode.agentMode.customInfo.cancel":"రద్దు చేయండి","composer.mode.agentMode.customInfo.cli":"మీరు ఆ సెట్టింగులను CLI నుండి లేదా ఫైల్‌ను నేరుగా సవరించడం ద్వారా సర్దుబాటు చేయవచ్చు.","composer.mode.agentMode.customInfo.confirm":"కస్టమ్ మోడ్‌ను ఉపయోగించండి","composer.mode.agentMode.customInfo.description":"మీలో నిర్వచించిన ఆమోదం మరియు శాండ్‌బాక్స్ విధానాలను అనుకూల మోడ్ వర్తింపజేస్తుంది<link>config.toml</link> ఫైల్.","composer.mode.agentMode.customInfo.docs":"ఆమోదం మరియు శాండ్‌బాక్స్ విధానాలను కాన్ఫిగర్ చేయడం గురించి మరింత తెలుసుకోండి<link>అమలు పర్యావరణ పత్రాలు</link>.","composer.mode.agentMode.customInfo.refresh":"ఏవైనా మార్పులు తదుపరిసారి ఏజెంట్ అమలులోకి వచ్చినప్పుడు అమలులోకి వస్తాయి.","composer.mode.agentMode.customInfo.title":"కస్టమ్ మోడ్ ఎలా పనిచేస్తుంది","composer.mode.agentMode.fullAccess":"ఏజెంట్ (పూర్తి ప్రాప్యత)","composer.mode.agentMode.fullAccess.dropdownLabel":"ఏజెంట్ (పూర్తి ప్రాప్యత)","composer.mode.agentMode.fullAccess.optionLabel":"ఏజెంట్ (పూర్తి ప్రాప్యత)","composer.mode.agentMode.fullAccessConfirm.caution":"పూర్తి యాక్సెస్‌ను ప్రారంభించేటప్పుడు జాగ్రత్తగా ఉండండి. ఇది డేటా నష్టం, లీక్‌లు లేదా ఊహించని ప్రవర్తన ప్రమాదాన్ని గణనీయంగా పెంచుతుంది.","composer.mode.agentMode.fullAccessConfirm.confirm":"అవును, ఏదేమైనా కొనసాగించు","composer.mode.agentMode.fullAccessConfirm.description":"Codex పూర్తి యాక్సెస్‌తో నడుస్తున్నప్పుడు, అది మీ కంప్యూటర్‌లోని ఏ ఫైల్‌ను అయినా సవరించగలదు మరియు మీ అనుమతి లేకుండానే నెట్‌వర్క్‌తో ఆదేశాలను అమలు చేయగలదు.","composer.mode.agentMode.fullAccessConfirm.goBack":"రద్దు చేయండి","composer.mode.agentMode.fullAccessConfirm.title":"పూర్తి యాక్సెస్‌ను ప్రారంభించాలా?","composer.mode.agentMode.readOnly":"చాట్ చేయి","composer.mode.agentMode.readOnly.dropdownLabel":"చాట్","composer.mode.agentMode.readOnly.optionLabel":"చాట్","composer.mode.agentMode.tooltip":"మోడల్‌ను మార్చు","composer.mode.agentMode.tooltip.auto":"ఫైళ్ళను చదవండి మరియు సవరించండి మరియు ఆదేశాలను అమలు చేయండి.","composer.mode.agentMode.tooltip.custom":"config.toml లో నిర్వచించబడిన తాజా ఆమోదం మరియు శాండ్‌బాక్స్ విధానాలను ఉపయోగించండి.","composer.mode.agentMode.tooltip.fullAccess":"Codex ప్రాజెక్ట్ వెలుపల ఉన్న ఫైల్‌లను సవరించగలదు మరియు నెట్‌వర్క్ ప్రాప్యత‌తో ఆదేశాలను అమలు చేయగలదు. ఉపయోగిస్తున్నప్పుడు జాగ్రత్తగా ఉండండి.","composer.mode.agentMode.tooltip.readOnly":"ఫైళ్లను సవరించడానికి మరియు ఆదేశాలను అమలు చేయడానికి ఆమోదం అవసరం.","composer.mode.cloud.tooltip":"క్లౌడ్ వాతావరణంలో పని చేయండి","composer.mode.contactAdmin":"మరిన్ని యాక్సెస్ పొందడానికి, మీ నిర్వాహకుడిని సంప్రదించండి","composer.mode.local":"లోకల్","composer.mode.local.learnMore":"మరింత తెలుసుకోండి","composer.mode.local.model.custom":"కస్టమ్","composer.mode.local.model.loadingModel":"మోడల్ లోడ్ అవుతోంది","composer.mode.local.model.selecrReasoningEffort":"తార్కికతను ఎంచుకోండి","composer.mode.local.model.selectModel":"మోడల్‌ని ఎంచుకోండి","composer.mode.local.model.tooltip":"నమూనా‌ను ఎంచుకోండి","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"అధికం","composer.mode.local.reasoning.low.label":"తక్కువ","composer.mode.local.reasoning.medium.label":"మధ్యస్థం","composer.mode.local.reasoning.minimal.label":"కనిష్ట","composer.mode.local.reasoning.none.label":"ఏదీ లేదు","composer.mode.local.reasoning.xhigh.label":"చాలా ఎక్కువ","composer.mode.localRemoteWhereRun":"పనిని ఎక్కడ అమలు చేయాలో ఎంచుకోండి","composer.mode.newTask.header":"దీనిలో కొనసాగించండి","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"మిగిలిన రేటు పరిమితులు","composer.mode.rateLimit.hour":"{hours}గంటలు","composer.mode.rateLimit.minute":"{minutes}నిమిషాలు","composer.mode.rateLimit.modelSectionLabel":"{modelName} పరిమితి:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {వారపు పరిమితి} other {{weeks} వారాల పరిమితి}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ప్రతి వారం} other {{weeks} వారం}}","composer.mode.remote.connectToCloud":"Codex వెబ్‌ను కనెక్ట్ చేయండి","composer.mode.remote.connectToCloudDisabledTooltip":"క్లౌడ్‌కు పనులను పంపడాన్ని ప్రారంభించడానికి Codex వెబ్ ద్వారా వాతావరణాన్ని సెటప్ చేయండి.","composer.mode.remote.selectEnvironment":"పర్యావరణాన్ని ఎంచుకోండి","composer.mode.remote.sendToCloud":"క్లౌడ్‌కు పంపండి","composer.mode.remote.setupViaWeb":"Codex వెబ్ ద్వారా పర్యావరణాన్ని సెటప్ చేయండి","composer.mode.runInCloud":"క్లౌడ్","composer.mode.runInCloudWithEnvironment":"క్లౌడ్ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"క్లౌడ్ వాతావరణంలో పని చేయండి","composer.mode.segmentedToggle.local.tooltip":"మీ స్థానిక ప్రాజెక్ట్‌లో పని చేయండి","composer.mode.segmentedToggle.worktree.tooltip":"సమాంతర వర్క్‌ట్రీలో పని చేయండి","composer.mode.upgradeToPlus":"ప్లస్‌కి అప్‌గ్రేడ్ చేయండి","composer.mode.upgradeToPro":"Proకి అప్‌గ్రేడ్ చేయి","composer.mode.workLocally":"స్థానిక ప్రాజెక్ట్","composer.mode.workLocally.currentBranchFallback":"మీ శాఖ","composer.mode.workLocally.tooltip":"{branchName}లోని పని","composer.mode.worktree":"కొత్త వర్క్‌ట్రీ","composer.mode.worktree.submoduleWarning":"ఈ రెపోలో గిట్ సబ్‌మాడ్యూల్స్ ఉన్నాయి. వర్క్‌ట్రీ సృష్టి విఫలం కావచ్చు","composer.mode.worktree.tooltip":"సమాంతరంగా పని చేయడానికి మీ స్థానిక ప్రాజెక్ట్ యొక్క కాపీని సృష్టించండి.","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"సంభాషణ మధ్యలో మోడల్‌లను మార్చడం వల్ల పనితీరు తగ్గుతుంది.","composer.newChat.heading.browser":"మనము తర్వాత ఏమి కోడ్ చేయాలి?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex config.tomlలో నిర్వచించిన అనుమతిని ఉపయోగిస్తుంది.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codexకు మీ కంప్యూటర్‌పై పూర్తి ప్రాప్యత ఉంది (అధిక ప్రమాదం)","composer.permissionsDropdown.custom.label":"కస్టమ్ (config.toml)","composer.permissionsDropdown.custom.optionLabel":"కస్టమ్ (config.toml)","composer.permissionsDropdown.default.label":"డిఫాల్ట్ అనుమతులు","composer.permissionsDropdown.default.optionLabel":"డిఫాల్ట్ అనుమతులు","composer.permissionsDropdown.default.tooltip":"Codex స్వయంచాలకంగా శాండ్‌బాక్స్‌లో ఆదేశాలను అమలు చేస్తుంది","composer.permissionsDropdown.disabled.requirements":"అనుమతులు requirements.toml ద్వారా లాక్ చేయబడ్డాయి.","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml ద్వారా పూర్తి ప్రాప్యత డిసేబుల్ చేయబడింది","composer.permissionsDropdown.fullAccess.label":"పూర్తి ప్రాప్యత","composer.permissionsDropdown.fullAccess.optionLabel":"పూర్తి ప్రాప్యత","composer.permissionsDropdown.trigger.tooltip":"అనుమతులను మార్చండి","composer.personalitySlashCommand.description.friendly":"వెచ్చని, సహకారపూర్వక మరియు సహాయకరమైనది","composer.personalitySlashCommand.description.pragmatic":"సంక్షిప్తమైన, పనిపై దృష్టి సారించిన మరియు సూటిగా ఉండేది.","composer.personalitySlashCommand.label.friendly":"స్నేహపూర్వక","composer.personalitySlashCommand.label.pragmatic":"ఆచరణాత్మకం","composer.personalitySlashCommand.notApplicableSuffix":"(ప్రస్తుత నమూనా‌కు ఇది వర్తించదు)","composer.personalitySlashCommand.title":"వ్యక్తిత్వం","composer.placeholder.cloudFollowUp.directFollowUp":"Follow-up to this cloud task","composer.placeholder.cloudFollowUp.local":"Create a new local task that references this cloud task","composer.placeholder.cloudFollowUp.workingTree":"Create a new cloud task that includes your current code and will reference this task","composer.placeholder.localFollowUp.cloud":"Follow-up in a new cloud task","composer.placeholder.localFollowUp.locally":"Ask for follow-up changes","composer.placeholder.newTask.cloud":"Ask Codex to do anything in the cloud","composer.placeholder.newTask.doAnything":"ఏదైనా చేయమని Codex‌ని అడగండి","composer.placeholder.newTask.locally":"Ask Codex anything, @ to add files, / for commands","composer.planModeDropdown":"ప్రణాళిక మోడ్","composer.planModeDropdown.ariaLabel":"ప్రణాళిక మోడ్","composer.planModeIndicator":"ప్లాన్ చేయండి","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codexతో ఒక ప్రణాళికను సృష్టించండి","composer.planModeIndicator.tooltipToggle":"టాగల్ చేయడానికి","composer.planSlashCommand.disableDescription":"ప్లాన్ మోడ్‌ను ఆఫ్ చేయండి","composer.planSlashCommand.enableDescription":"ప్లాన్ మోడ్‌ను ఆన్ చేయండి","composer.planSlashCommand.title":"ప్రణాళిక మోడ్","composer.priorContext.label":"మునుపటి సందర్భం","composer.priorContext.removeAriaLabel":"మునుపటి సందర్భాన్ని తీసివేయండి","composer.queuedMessage.delete":"క్యూలో ఉన్న సందేశాన్ని తొలగించండి","composer.queuedMessage.edit":"సందేశాన్ని సవరించండి","composer.queuedMessage.more":"క్యూలో ఉన్న సందేశ చర్యలు","composer.queuedMessage.sendNow":"స్టీర్","composer.queuedMessage.sendNowTooltip":"పనికి అంతరాయం కలగకుండా ఇప్పుడే పంపండి","composer.queuedMessage.turnOff":"క్యూయింగ్‌ను ఆఫ్ చేయండి","composer.reasoningEffort.local.reasoning.tooltip":"తార్కిక ప్రయత్నాన్ని ఎంచుకోండి","composer.remote.branchStartingPoint":"ఈ పని ఏ శాఖ నుండి ప్రారంభం కావాలి?","composer.remote.branchesSectionHeading":"శాఖలు","composer.remote.currentEditsSuffix.followUp":"ఈ క్లౌడ్ టాస్క్‌ను సూచించే కొత్త టాస్క్‌ను సృష్టించండి.","composer.remote.currentEditsSuffix.useLocal":"స్థానిక కోడ్ మార్పులతో","composer.remote.directFollowUp":"స్థానిక మార్పులను ఉపయోగించవద్దు","composer.remote.errorLoadingBranches":"శాఖలను లోడ్ చేయడంలో లోపం","composer.remote.fromBranch":"{branch} నుండి","composer.remote.fromCurrentBranch":"{branch} నుండి (ప్రస్తుతం)","composer.remote.loadingMoreBranches":"లోడ్ అవుతోంది…","composer.remote.localFileStateHeading":"స్థానిక ఫైల్ స్థితి","composer.remote.localWorkingTree":"స్థానిక మార్పులను ఉపయోగించండి","composer.remote.startingPoint":"ఈ పని ఏ కోడ్ నుండి ప్రారంభం కావాలి?","composer.reviewMode.branches.error":"శాఖలను లోడ్ చేయడం సాధ్యం కాలేదు","composer.reviewMode.branches.retry":"మళ్లీ ప్రయత్నించండి","composer.reviewMode.gitRoot.error":"Git రూట్ దొరకలేదు.","composer.reviewMode.option.baseBranch.simple":"బేస్ బ్రాంచ్ పై సమీక్ష","composer.reviewMode.option.unstaged.simple":"చేయని మార్పులను సమీక్షించండి","composer.reviewMode.quickReviewError":"కోడ్ సమీక్షను ప్రారంభించడంలో విఫలమైంది.","composer.reviewMode.title":"కోడ్ సమీక్ష","composer.sandboxButton.unlock.disabled.tooltip":"Full access is disabled by requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"ఫైల్‌సిస్టమ్ మరియు నెట్‌వర్క్ ప్రాప్యతను పరిమితం చేయడానికి Codex విండోస్‌లో ప్రయోగాత్మక శాండ్‌బాక్స్‌ను ఉపయోగించవచ్చు. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"విండోస్ శాండ్‌బాక్స్‌ను ప్రారంభించాలా?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"చదవడానికి మాత్రమే ఉపయోగించండి","composer.searchEnvironments":"పర్యావరణాలను శోధించండి","composer.skillMentionList.app":"యాప్","composer.skillMentionList.loading":"నైపుణ్యాలను లోడ్ చేస్తోంది...","composer.skillMentionList.noResults":"నైపుణ్యాలు ఏవీ కనుగొనబడలేదు","composer.slashCommands.cloudEnvironment.title":"v","composer.slashCommands.dialogLabel":"స్లాష్ కమాండ్ మెనూ","composer.slashCommands.dialogTitle":"స్లాష్ ఆదేశాలు","composer.slashCommands.disabledTooltip":"స్లాష్ ఆదేశాలను ఉపయోగించడానికి కొత్త సంభాషణను ప్రారంభించండి","composer.slashCommands.inputPlaceholder":"శోధించండి","composer.slashCommands.noResults":"ఆదేశాలు లేవు","composer.slashCommands.skillsGroup":"నైపుణ్యాలు","composer.slashCommands.tooltip":"స్లాష్ ఆదేశాలను బ్రౌజ్ చేయండి","composer.status.close":"మూసివేయి","composer.statusPlain.alertLabel":"అప్రమత్తం","composer.statusPlain.alertValue":"{window}లో {remaining}% మిగిలి ఉంది","composer.statusPlain.contextLabel":"సందర్భం:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ఉపయోగించబడింది / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% మిగిలి ఉంది","composer.statusPlain.heading":"స్థితి","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} పరిమితి:","composer.statusPlain.rateLimitDays":"{count}d పరిమితి","composer.statusPlain.rateLimitFallbackLabel":"రేటు పరిమితి:","composer.statusPlain.rateLimitHours":"{count}h పరిమితి","composer.statusPlain.rateLimitLabelBase":"రేటు పరిమితి","composer.statusPlain.rateLimitMinutes":"{count}m పరిమితి","composer.statusPlain.rateLimitPercent":"{remaining}% మిగిలి ఉంది","composer.statusPlain.rateLimitReset":"రీసెట్‌లు {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"రీసెట్ సమయం అందుబాటులో లేదు","composer.statusPlain.rateLimitUnavailable":"అందుబాటులో లేదు","composer.statusPlain.sessionCopiedAriaLabel":"సెషన్ ఐడి కాపీ చేయబడింది","composer.statusPlain.sessionCopiedTooltip":"ID కాపీ చేయబడింది","composer.statusPlain.sessionCopyAriaLabel":"సెషన్ ఐడిని కాపీ చేయి","composer.statusPlain.sessionCopyTooltip":"IDని కాపీ చేయండి","composer.statusPlain.sessionLabel":"సెషన్:","composer.statusSlashCommand.description":"థ్రెడ్ ఐడి, సందర్భ వినియోగం మరియు రేటు పరిమితులను చూపించు","composer.statusSlashCommand.title":"స్థితి","composer.submit.blockedDialogOk":"అలాగే","composer.submit.blockedDialogTitle":"సందేశం పంపలేకపోయింది","composer.submit.emptyMessage":"ప్రారంభించడానికి ఒక సందేశాన్ని నమోదు చేయండి","composer.submit.imageInputsUnsupported":"ఈ సందేశాన్ని పంపడానికి చిత్రాలను తీసివేయండి లేదా నమూనాలను మార్చండి.","composer.submit.loadingLocalConfig":"లోడ్ అవుతోంది…","composer.submit.missingCloudConfig":"మీరు క్లౌడ్ వాతావరణాన్ని ఎంచుకోవాలి","composer.submit.missingCloudTurn":"ఈ పనిని ఫాలో-అప్ చేయడం సాధ్యం కాదు.","composer.submit.noWorkspace":"Codex‌ను ఉపయోగించడానికి ఒక ప్రాజెక్ట్‌ను జోడించండి","composer.submit.waitForImageUploads":"చిత్రాలు అప్‌లోడ్ అవుతున్నాయి…","composer.submitButtonTooltip.send":"పంపండి","composer.submitButtonTooltip.stop":"ఆపు","composer.worktreeEnvironment.create":"స్థానిక వాతావరణాన్ని సృష్టించండి","composer.worktreeEnvironment.default":"డిఫాల్ట్ పర్యావరణం","composer.worktreeEnvironment.error":"పర్యావరణాన్ని లోడ్ చేయడంలో లోపం ఏర్పడింది","composer.worktreeEnvironment.loading":"పర్యావరణాలు లోడ్ అవుతున్నాయి…","composer.worktreeEnvironment.title":"స్థానిక పర్యావరణం","composer.worktreeEnvironment.tooltip":"స్థానిక వాతావరణాన్ని ఎంచుకోండి","composer.worktreeSetupFailed":"వర్క్‌ట్రీ సెటప్ విఫలమైంది. సెటప్ స్క్రిప్ట్ కోసం .codex/environmentsను తనిఖీ చేయండి.","compoundButton.secondaryAction":"ద్వితీయ చర్య","copyButton.copied":"కాపీ అయింది","copyButton.copiedAriaLabel":"కాపీ అయింది","copyButton.copy":"కాపీ చేయండి","copyButton.copyAriaLabel":"కాపీ చేయండి","copyButton.copyCode":"కోడ్‌ను కాపీ చేయి","diff.actionButton.revertFile":"ఫైల్‌ను తిరిగి మార్చండి","diff.actionButton.revertHunk":"తిరిగి సమాధానం ఇవ్వడం","diff.actionButton.revertSection":"అన్నింటికీ తిరిగి సమాధానం ఇవ్వండి","diff.actionButton.revertSectionLabel":"అన్నింటికీ తిరిగి సమాధానం ఇవ్వండి","diff.actionButton.stageFile":"స్టేజ్ ఫైల్","diff.actionButton.stageHunk":"స్టేజ్","diff.actionButton.stageSection":"అన్ని స్టేజ్‌లు","diff.actionButton.stageSectionLabel":"అన్ని స్టేజ్‌లు","diff.actionButton.unstageFile":"అన్‌స్టేజ్ ఫైల్","diff.actionButton.unstageHunk":"అన్‌స్టేజ్","diff.actionButton.unstageSection":"అన్ని అన్‌స్టేజ్ చేయండి","diff.actionButton.unstageSectionLabel":"అన్ని అన్‌స్టేజ్ చేయండి","diff.fileHeader.toggle":"ఫైల్ డిఫరెన్స్‌ను టోగుల్ చేయండి","electron.onboarding.login.apikey.cancel":"రద్దు చేయండి","electron.onboarding.login.apikey.continue":"కొనసాగించండి","electron.onboarding.login.apikey.label":"OpenAI API కీ","electron.onboarding.login.apikey.open":"API కీని నమోదు చేయండి","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"సైన్-ఇన్‌ను రద్దు చేయండి","electron.onboarding.login.chatgpt.continue":"ChatGPT‌తో కొనసాగించండి","electron.onboarding.login.devbox":"రిమోట్ SSHకి కనెక్ట్ చేయండి","electron.onboarding.login.error":"సైన్ ఇన్ విఫలమైంది{rawMessage}","electron.onboarding.login.snake.start":"స్నేక్ ఆడండి","electron.onboarding.login.sshConfig.cancel":"రద్దు చేయండి","electron.onboarding.login.sshConfig.continue":"కొనసాగించండి","electron.onboarding.login.sshConfig.hostnameLabel":"SSH హోస్ట్‌నేమ్","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ఏజెంట్లతో కలిసి నిర్మించడానికి ఉత్తమ మార్గం","electron.onboarding.login.title":"Codex‌కు స్వాగతం","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"కొనసాగించండి","electron.onboarding.welcome.doubleLimits.description":"Codex యాప్ ప్రారంభోత్సవాన్ని పురస్కరించుకుని, ఏప్రిల్ 2వ తేదీ వరకు మీకు రెట్టింపు రేట్ పరిమితులు లభిస్తాయి.","electron.onboarding.welcome.freego.description":"Codex మార్చి 2వ తేదీ వరకు మీ ప్రణాళిక‌లో చేర్చబడింది – మనం కలిసి నిర్మించడం ప్రారంభిద్దాం.","electron.onboarding.welcome.new.title.anon":"స్వాగతం!","electron.onboarding.workspace.continue":"కొనసాగించండి","electron.onboarding.workspace.empty":"కొనసాగడానికి ఒక ప్రాజెక్ట్‌ను జోడించండి.","electron.onboarding.workspace.listLabel":"అందుబాటులో ఉన్న ప్రాజెక్టులు","electron.onboarding.workspace.loading":"ప్రాజెక్ట్‌లను లోడ్ చేస్తోంది","electron.onboarding.workspace.openFolder":"ప్రాజెక్ట్‌ను జోడించండి","electron.onboarding.workspace.selectAll":"అన్నిటినీ ఎంచుకోండి","electron.onboarding.workspace.skip":"దాటవేయండి","electron.onboarding.workspace.skip.error":"కొత్త ప్రాజెక్ట్‌ను సృష్టించలేకపోయాము: {message}","electron.onboarding.workspace.skip.error.unknown":"తెలియని లోపం","electron.onboarding.workspace.skipping":"కొత్త ప్రాజెక్ట్‌ను సృష్టిస్తోంది…","electron.onboarding.workspace.subtitle":"కోడెక్స్ ఎంచుకున్న ఫోల్డర్‌లలో ఫైల్‌లను సవరించగలదు మరియు ఆదేశాలను అమలు చేయగలదు.","electron.onboarding.workspace.title":"ప్రాజెక్ట్‌ను ఎంచుకోండి","errorPage.list.checkSettings":"మీ IDE సెట్టింగ్‌లను నవీకరించడానికి ప్రయత్నించండి.","errorPage.list.configToml":"చెల్లని సెట్టింగ్‌ల కోసం మీ config.tomlని తనిఖీ చేయండి.","errorPage.list.downloadExtension":"ఎక్స్‌టెన్షన్ యొక్క వేరే వెర్షన్‌ను డౌన్‌లోడ్ చేసుకోవడానికి ప్రయత్నించండి.","errorPage.list.runInWsl":"మీరు అనుకూలత సమస్యలను చూస్తున్నట్లయితే WSLలో అమలును నిలిపివేయడానికి మీ సెట్టింగ్‌లను తనిఖీ చేయండి.","execApprovalRequest.menu.runAlways":"Yes, and don't ask again this session","execApprovalRequest.menu.runAlwaysWithAmendment":"అవును మరియు {command} అని ప్రారంభమయ్యే ఆదేశాల కోసం మళ్లీ అడగవద్దు","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"అవును మరియు దీనితో ప్రారంభమయ్యే ఆదేశాల కోసం మళ్లీ అడగవద్దు","execApprovalRequest.menu.runOnce":"అవును","execApprovalRequest.prompt":"Do you want to run this command?","execApprovalRequest.reject":"లేదు","execFooter.exitCode":"నిష్క్రమణ కోడ్ {code}","execFooter.exitCode.unknown":"తెలియదు","execFooter.success":"విజయం","feedback.dialog.category.badResult":"చెడు ఫలితం","feedback.dialog.category.bug":"బగ్","feedback.dialog.category.goodResult":"మంచి ఫలితం","feedback.dialog.category.other":"ఇతర","feedback.dialog.descriptionPlaceholder":"సమస్యను ఇక్కడ వివరించండి","feedback.dialog.dismiss":"విస్మరించండి","feedback.dialog.includeLogsLabel":"ప్రస్తుత Codex సెషన్ లాగ్‌లను చేర్చండి","feedback.dialog.submit":"సమర్పించండి","feedback.dialog.submitError":"మేము మీ అభిప్రాయాన్ని సమర్పించలేకపోయాము. దయచేసి కొంత సమయం తర్వాత మళ్ళీ ప్రయత్నించండి.","feedback.dialog.title":"ఫీడ్‌బ్యాక్‌","feedback.dialog.uploadedMessage.existingIssue":"existing open issue","feedback.dialog.uploadedMessage.openIssue":"open a GitHub issue","feedback.dialog.uploadedMessage.withThread":"Feedback uploaded. If the problem persists, please {openIssueLink} or mention the thread id in an {existingIssueLink}:","feedback.dialog.uploadedTitle":"అభిప్రాయం అప్‌లోడ్ చేయబడింది","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"తీసివేయి {filename}","header.back":"వెనుకకు","header.recentChats":"టాస్క్‌లు","header.recentTasks.seeAll":"అన్నీ చూడండి{total}","home.header.getPlus":"Plusను పొందండి","home.hero.letsBuild":"నిర్మిద్దాం","homePage.mainContent":"ప్రధమ కంటెంట్","imageAttachment.defaultName":"చిత్రం","imageAttachment.preview.close":"Close image preview","imageAttachment.removeAriaLabel":"తీసివేయి {filename}","implementPlanRequest.option.implement":"Yes, implement this plan","implementPlanRequest.prompt":"Implement this plan?","inbox.archived.deleteError":"ఆర్కైవ్ చేసిన రన్‌ను తొలగించలేకపోయింది","inbox.archived.deleteRun":"ఆర్కైవ్ చేసిన రన్‌ను తొలగించు","inbox.archived.deleteSuccess":"ఆర్కైవ్ చేసిన థ్రెడ్ తొలగించబడింది. <settingsLink>లో వీక్షించండి ఆర్కైవ్ చేసిన థ్రెడ్‌లు </settingsLink>.","inbox.archived.inlineLabel.auto":"ఈ థ్రెడ్ స్వయంచాలకంగా ఆర్కైవ్ చేయబడింది. <learnMoreLink> </learnMoreLink> మరింత తెలుసుకోండి","inbox.archived.inlineLabel.manual":"ఈ థ్రెడ్ ఆర్కైవ్ చేయబడింది.","inbox.archived.noMessageFound":"సందేశం కనుగొనబడలేదు","inbox.automations.createError":"ఆటోమేషన్‌ను సృష్టించలేకపోయింది","inbox.automations.deleteConfirm.cancel":"రద్దు చేయండి","inbox.automations.deleteConfirm.confirm":"ఆటోమేషన్‌ను తొలగించండి","inbox.automations.deleteConfirm.description":"ఇది ఆటోమేషన్‌ను శాశ్వతంగా తొలగిస్తుంది మరియు భవిష్యత్తులో జరిగే ఏవైనా పరుగులను ఆపివేస్తుంది.","inbox.automations.deleteConfirm.title":"{name}ను తొలగించాలా?","inbox.automations.deleteError":"ఆటోమేషన్‌ను తొలగించలేకపోయింది","inbox.automations.editTooltip":"ఆటోమేషన్‌ను సవరించండి","inbox.automations.inProgress":"పురోగతిలో ఉంది","inbox.automations.new":"కొత్తది","inbox.automations.newToolbar":"కొత్త ఆటోమేషన్","inbox.automations.pauseTooltip":"ఆటోమేషన్‌ను పాజ్ చేయండి","inbox.automations.resumeTooltip":"ఆటోమేషన్‌ను పునఃప్రారంభించండి","inbox.automations.startingNow":"ఇప్పటి నుండి","inbox.automations.startsIn":"{startTime}లో ప్రారంభమవుతోంది","inbox.automations.status.active":"యాక్టివ్","inbox.automations.status.paused":"తాత్కాలికంగా నిలిపివేయబడింది","inbox.automations.status.runs":"{count} పరుగు","inbox.automations.status.started":"ప్రారంభించబడింది {date}","inbox.automations.updateError":"ఆటోమేషన్‌ను అప్‌డేట్ చేయలేకపోయింది","inbox.automations.workspaceFallback":"-","inbox.filter.all":"అన్నీ","inbox.filter.ariaLabel":"ఇన్‌బాక్స్ అంశాలను ఫిల్టర్ చేయండి","inbox.filter.unread":"చదవనివి","inbox.list.archived":"ఆర్కైవ్ చేయబడింది","inbox.list.inProgress":"పురోగతిలో ఉంది","inbox.list.recent":"పూర్తయింది","inbox.list.upNext":"షెడ్యూల్ చేయబడింది","inbox.mode.automations":"ఆటోమేషన్‌లు","inbox.mode.automations.beta":"బీటా","inbox.noDescription":"వివరణ అందించబడలేదు","inbox.openThread":"థ్రెడ్‌ను తెరవండి","inbox.rightPanel.emptySubtitle":"షెడ్యూల్ చేయబడిన పనులను సెటప్ చేయడం ద్వారా పనిని ఆటోమేట్ చేయండి","inbox.rightPanel.emptySubtitle.learnMore":"షెడ్యూల్ చేయబడిన థ్రెడ్‌లను సెట్టింగ్ అప్ చేయడం ద్వారా పనిని ఆటోమేట్ చేయండి.<link>మరింత తెలుసుకోండి</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# క్రియాశీల ఆటోమేషన్} other {# యాక్టివ్ ఆటోమేషన్‌లు}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"చదవని ఆటోమేషన్‌లు ఏవీ లేవు","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# చదవని ఆటోమేషన్లు} other {# చదవని ఆటోమేషన్‌లు}}","inbox.rightPanel.emptyTitle":"ఏ వస్తువు ఎంపిక చేయబడలేదు","inbox.rightPanel.noThread":"ఈ వస్తువు కోసం ఎలాంటి థ్రెడ్ లేదు.","inbox.rightPanel.quickStart.header":"టెంప్లేట్‌తో ప్రారంభించండి","inbox.untitled":"శీర్షిక లేని ఇన్‌బాక్స్ అంశం","loadingPage.documentationLink":"డాక్యుమెంటేషన్","loadingPage.errorDescription":"సంభాషణను ప్రారంభించలేకపోయాము.","loadingPage.errorDescription.documentation":"సంభాషణను ప్రారంభించలేకపోయాము.{documentationLink}","loadingPage.errorSignal":"ప్రయత్నించడానికి కొన్ని విషయాలు:","loadingPage.errorTitle":"ఒక లోపం సంభవించింది.","loadingPage.openConfigToml":"Open Config.toml","loadingPage.reload":"రీలోడ్ చేయి","localConversation.contextCompacted":"సందర్భం స్వయంచాలకంగా కుదించబడింది","localConversation.contextCompacting":"Automatically compacting context","localConversation.forkedFromConversation":"{threadTitle} నుండి ఫోర్క్ చేస్తుంది","localConversation.merge.autoResolve.failed":"ఆటో పరిష్కారాన్ని అభ్యర్థించడంలో విఫలమైంది: {error}","localConversation.merge.autoResolve.sent":"ఆటో పరిష్కార అభ్యర్థన పంపబడింది","localConversation.merge.autoResolveMerge.missingConversation":"యాక్టివ్ సంభాషణ లేకుండా స్వయంచాలకంగా సమస్యను పరిష్కరించడం సాధ్యం కాదు.","localConversation.merge.autoResolveMerge.request":"మెర్జ్ వైరుధ్యాలను స్వయంచాలకంగా పరిష్కరించండి","localConversation.modelChanged":"మోడల్ {fromModel} నుండి {toModel}కి మారింది.","localConversation.modelChanged.warning.line1":"సంభాషణ మధ్యలో మోడల్‌లను మార్చడం వల్ల పనితీరు తగ్గుతుంది.","localConversation.modelChanged.warning.line2":"సందర్భం స్వయంచాలకంగా కుదించవచ్చు.","localConversation.moveThread.createBranch.label":"శాఖను సృష్టించండి","localConversation.moveToLocal.disabled.loading":"లోడ్ అవుతోంది…","localConversation.moveToLocal.modal.continue":"కొనసాగించండి","localConversation.moveToLocal.modal.destinationLabel":"దీని కోసం తరలించండి","localConversation.moveToLocal.modal.retry":"మళ్లీ ప్రయత్నించండి","localConversation.moveToWorktree.modal.back":"వెనుకకు","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"బ్రాంచ్ ఇప్పటికే ఉంది.","localConversation.moveToWorktree.modal.branchesError":"శాఖలను లోడ్ చేయడం సాధ్యం కాలేదు","localConversation.moveToWorktree.modal.branchesLoading":"శాఖలు ఎక్కించుతున్నాయి...","localConversation.moveToWorktree.modal.branchesRetry":"మళ్లీ ప్రయత్నించండి","localConversation.moveToWorktree.modal.continue":"కొనసాగించండి","localConversation.moveToWorktree.modal.retry":"మళ్లీ ప్రయత్నించండి","localConversation.moveToWorktree.modal.trailingSlashError":"బ్రాంచ్ పేరు “/” తో ముగియకూడదు.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"కొత్త శాఖ","localConversation.personalityChanged":"{personality} వ్యక్తిత్వానికి మారింది","localConversation.planSummary.collapse":"Collapse plan summary","localConversation.planSummary.collapseTooltip":"కుదించు","localConversation.planSummary.download":"ప్లాన్ డౌన్‌లోడ్ చేసుకోండి","localConversation.planSummary.expand":"Expand plan summary","localConversation.planSummary.expandTooltip":"విస్తరింపజేయండి","localConversation.planSummary.openInNewWindow":"తెరవండి","localConversation.planSummary.openInNewWindow.tooltip":"కొత్త విండోలో తెరవండి","localConversation.planSummary.title":"ప్లాన్ చేయండి","localConversation.planSummary.titleWriting":"రచన ప్రణాళిక","localConversation.planSummary.viewPlan":"ప్రణాళికను విస్తరించండి","localConversation.remoteTaskCreated":"Codex క్లౌడ్‌లో {taskLink} సృష్టించబడింది","localConversation.remoteTaskCreated.task":"టాస్క్‌","localConversation.scrollToBottomButton":"దిగువ వరకు స్క్రోల్ చేయి","localConversation.sync.buttonLabel":"స్థానికులకు అప్పగించండి","localConversation.sync.buttonLabel.tooltip":"ఈ వర్క్‌ట్రీ మరియు మీ స్థానిక చెక్అవుట్ మధ్య మార్పులను అప్పగించండి.","localConversation.sync.modal.loading.title":"మార్పులను అప్పగిస్తున్నారు...","localConversation.sync.modal.noChanges":"మార్పులు లేవు","localConversation.syncSetup.branchAriaLabel":"శాఖ పేరు","localConversation.syncSetup.branchName":"శాఖ పేరు","localConversation.syncSetup.branchPlaceholder.existing":"ఇప్పటికే ఉన్న శాఖను ఎంచుకోండి","localConversation.syncSetup.branchPlaceholder.new":"Codex/కొత్త ఫీచర్","localConversation.syncSetup.branchesLoading":"శాఖలు ఎక్కించుతున్నాయి...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"ఇప్పటికే తనిఖీ చేయబడింది","localConversation.syncSetup.checkoutClean":"ప్రస్తుతం {branchName}వ స్థానంలో ఉంది","localConversation.syncSetup.checkoutDirty":"ప్రస్తుతం {branchName}డి లేని మార్పులతో ఉంది","localConversation.syncSetup.checkoutError":"బ్రాంచ్‌ను చెక్అవుట్ చేయడంలో విఫలమైంది: {message}","localConversation.syncSetup.checkoutLabel":"ఇప్పుడే స్థానికంగా తనిఖీ చేయండి","localConversation.syncSetup.checkoutOnLocal":"స్థానికులకు అప్పగించండి","localConversation.syncSetup.checkoutPending":"స్థానిక స్థితిని తనిఖీ చేస్తోంది…","localConversation.syncSetup.checkoutUnavailable":"స్థానిక వర్క్‌స్పేస్ అందుబాటులో లేదు","localConversation.syncSetup.checkoutUnknown":"స్థానిక శాఖ అందుబాటులో లేదు","localConversation.syncSetup.continue":"కొనసాగించండి","localConversation.syncSetup.createBranchError":"హ్యాండ్‌ఆఫ్ బ్రాంచ్‌ను సెట్ చేయడంలో విఫలమైంది: {message}","localConversation.syncSetup.error":"ఏదో సమస్య ఏర్పడింది: {message}","localConversation.syncSetup.error.workingTreeMissing":"వర్క్‌ట్రీని స్నాప్‌షాట్ చేయడం సాధ్యం కాలేదు. దయచేసి తిరిగి ఇవ్వడానికి ప్రయత్నించండి.","localConversation.syncSetup.mode.ariaLabel":"బ్రాంచ్ మోడ్‌ను ఎంచుకోండి","localConversation.syncSetup.mode.existing":"ఇప్పటికే ఉన్న శాఖ","localConversation.syncSetup.mode.new":"కొత్త శాఖ","localConversation.syncSetup.noBranches":"ఎటువంటి శాఖలు కనుగొనబడలేదు","localConversation.syncSetup.overwriteError":"బ్రాంచ్ సృష్టించబడింది కానీ పూర్తిగా అందజేయబడలేదు. స్థానికంగా తనిఖీ చేసే ముందు మాన్యువల్‌గా అందజేయండి.","localConversation.syncSetup.setPrefix":"ప్రిఫిక్స్ సెట్ చేయండి","localConversation.syncSetup.subtitle":"వర్క్‌ట్రీ మార్పులను స్థానికంగా పరీక్షించి, సవరించండి. <a> </a> మరింత తెలుసుకోండి","localConversation.syncSetup.success.checkedOut":"బ్రాంచ్ సృష్టించబడింది మరియు స్థానికంగా చెక్ అవుట్ చేయబడింది","localConversation.syncSetup.success.notCheckedOut":"శాఖ సృష్టించబడింది","localConversation.syncSetup.title":"స్థానిక శాఖకు అప్పగించండి","localConversation.syncWorktreeError.branchAriaLabel":"శాఖ పేరు","localConversation.syncWorktreeError.branchPlaceholder.new":"Codex/కొత్త ఫీచర్","localConversation.syncWorktreeError.branchSetup.subtitle":"అప్పగించడానికి ఒక బ్రాంచ్‌ను ఎంచుకోండి, ఆపై మార్పులను లోడ్ చేయడానికి మళ్లీ ప్రయత్నించండి.","localConversation.syncWorktreeError.branchSetup.title":"శాఖను అప్‌డేట్ చేయి","localConversation.syncWorktreeError.branchUpdate.cta":"అప్‌డేట్ చేసి మళ్లీ ప్రయత్నించండి","localConversation.syncWorktreeError.branchUpdate.error":"బ్రాంచ్‌ను నవీకరించడంలో విఫలమైంది: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"ఏదో సమస్య ఏర్పడింది: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"ఈ బ్రాంచ్ ఏ వర్క్‌ట్రీలోనూ చెక్ అవుట్ చేయబడలేదు.","localConversation.syncWorktreeV2.applyUncommitted":"వర్తింపజేయండి","localConversation.syncWorktreeV2.applyUncommitted.disabled":"కమిట్ చేయని మార్పులను వర్తింపజేయడానికి మీరు బ్రాంచ్‌ను స్థానికంగా తనిఖీ చేయాలి","localConversation.syncWorktreeV2.branches.empty":"ఎటువంటి శాఖలు కనుగొనబడలేదు","localConversation.syncWorktreeV2.branches.loading":"శాఖలు ఎక్కించుతున్నాయి...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"హ్యాండ్ఆఫ్ బ్రాంచ్‌ను మార్చండి","localConversation.syncWorktreeV2.changeBranch.error":"హ్యాండ్‌ఆఫ్ బ్రాంచ్‌ను మార్చడంలో విఫలమైంది: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"దరఖాస్తు విఫలమైంది","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"వర్క్‌ట్రీని ఓవర్‌రైట్ చేయడం విఫలమైంది","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"స్థానికంగా ఓవర్రైట్ చేయడం విఫలమైంది","localConversation.syncWorktreeV2.commandError.back":"వెనుకకు","localConversation.syncWorktreeV2.commandError.body":"హ్యాండ్ ఆఫ్ చేస్తున్నప్పుడు git కమాండ్ విఫలమైంది. అవుట్‌పుట్‌ను సమీక్షించి మళ్ళీ ప్రయత్నించండి.","localConversation.syncWorktreeV2.commandError.retry":"మళ్లీ ప్రయత్నించండి","localConversation.syncWorktreeV2.description":"లోకల్ మరియు ఈ వర్క్‌ట్రీ మధ్య మార్పులను బదిలీ చేయండి. <a>మరింత తెలుసుకోండి</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"హ్యాండ్‌ఆఫ్ దిశను ఎంచుకోండి","localConversation.syncWorktreeV2.error.generic":"అప్పగించేటప్పుడు ఏదో పొరపాటు జరిగింది. దయచేసి మళ్ళీ ప్రయత్నించండి.","localConversation.syncWorktreeV2.localBranchLabel":"లోకల్","localConversation.syncWorktreeV2.noChanges":"మార్పులను లెక్కించడం","localConversation.syncWorktreeV2.noChanges.summary":"మార్పులు లేవు","localConversation.syncWorktreeV2.overwrite.local":"స్థానిక దానిని భర్తీ చేయండి","localConversation.syncWorktreeV2.overwrite.worktree":"వర్క్‌ట్రీని ఓవర్‌రైట్ చేయండి","localConversation.syncWorktreeV2.partial.action.applyFailed":"మార్పులను వర్తింపజేయలేకపోయాము","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Couldn't overwrite local changes","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"వర్క్‌ట్రీ మార్పులను ఓవర్‌రైట్ చేయలేకపోయాము","localConversation.syncWorktreeV2.partial.appliedLabel":"వర్తించబడింది","localConversation.syncWorktreeV2.partial.back":"వెనుకకు","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resolve conflicts and try again.","localConversation.syncWorktreeV2.partial.conflictsLabel":"సంఘర్షణలు","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# ఫైల్} other {# ఫైల్‌లు}}","localConversation.syncWorktreeV2.partial.retry":"మళ్లీ ప్రయత్నించండి","localConversation.syncWorktreeV2.partial.skippedLabel":"దాటవేయబడింది","localConversation.syncWorktreeV2.stateFailed.generic":"మార్పులను అప్పగించడానికి వర్క్‌ట్రీ వివరాలను పొందుతున్నప్పుడు ఏదో లోపం జరిగింది. దయచేసి మళ్లీ ప్రయత్నించండి.","localConversation.syncWorktreeV2.stateFailed.title":"వర్క్‌ట్రీ మార్పులను ఎక్కించడంలో విఫలమైంది","localConversation.syncWorktreeV2.statusError.diffUnknown":"వర్క్‌ట్రీ మార్పులను లోడ్ చేయడంలో విఫలమైంది.","localConversation.syncWorktreeV2.statusError.retry":"మళ్లీ ప్రయత్నించండి","localConversation.syncWorktreeV2.statusError.title":"స్థానిక బ్రాంచ్ మార్పులను లోడ్ చేయలేకపోయింది","localConversation.syncWorktreeV2.statusError.unknown":"ప్రస్తుతానికి బ్రాంచ్ స్థితి అందుబాటులో లేదు. దయచేసి మళ్ళీ ప్రయత్నించండి.","localConversation.syncWorktreeV2.success.apply":"మార్పులు విజయవంతంగా వర్తింపజేయబడ్డాయి","localConversation.syncWorktreeV2.success.overwrite":"హ్యాండ్‌ఆఫ్ విజయవంతమైంది","localConversation.syncWorktreeV2.title":"మార్పులను అప్పగించండి","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"అడుగుతున్నారు {count, plural, one {ప్రశ్న} other {ప్రశ్నలు}}","localConversation.userInputRequest.noAnswer":"ఎటువంటి సమాధానం ఇవ్వబడలేదు","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"అడిగారు","localConversation.userInputRequest.summary.count":"{count, plural, one {# ప్రశ్న} other {# ప్రశ్నలు}}","localConversation.workedFor":"{time}కి పని చేసింది","localConversation.worktreeBranchSetup.action.create":"సృష్టించండి","localConversation.worktreeBranchSetup.branchAriaLabel":"శాఖ పేరు","localConversation.worktreeBranchSetup.branchPlaceholder.new":"కొత్త శాఖను సృష్టించండి","localConversation.worktreeBranchSetup.checkoutDisabled":"ఈ బ్రాంచ్ ఇప్పటికే {location}లో తనిఖీ చేయబడింది","localConversation.worktreeBranchSetup.checkoutError":"బ్రాంచ్‌ను చెక్అవుట్ చేయడంలో విఫలమైంది: {message}","localConversation.worktreeBranchSetup.createBranchError":"బ్రాంచ్‌ను సెట్ చేయడంలో విఫలమైంది: {message}","localConversation.worktreeBranchSetup.error":"ఏదో సమస్య ఏర్పడింది: {message}","localConversation.worktreeBranchSetup.subtitle":"ఈ వర్క్‌ట్రీ నుండి మార్పులను కమిట్ చేయడానికి, పుష్ చేయడానికి మరియు PRని సృష్టించడానికి ఒక బ్రాంచ్‌ను సృష్టించండి. <a> మరింత తెలుసుకోండి </a>","localConversation.worktreeBranchSetup.title":"ఇక్కడ పని చేయండి","localConversationPage.addWorktreeToSidebar.tooltip":"దీనిని ఒక ప్రాజెక్ట్‌గా సేవ్ చేయండి, తద్వారా మీరు ఈ వర్క్‌ట్రీ నుండి కొత్త థ్రెడ్‌లను ప్రారంభించవచ్చు.","localConversationPage.addWorktreeToSidebarError":"ప్రాజెక్ట్‌ను జోడించడంలో విఫలమైంది","localConversationPage.commitAndCreatePrModal.errorTitle":"PRని కమిట్ చేసి సృష్టించడం విఫలమైంది","localConversationPage.commitAndCreatePrModal.successTitle":"PR కట్టుబడి సృష్టించబడింది","localConversationPage.commitAndPushModal.errorTitle":"కమిట్ మరియు పుష్ విఫలమయ్యాయి","localConversationPage.commitAndPushModal.successTitle":"మార్పులు కట్టుబడి మరియు నెట్టబడ్డాయి","localConversationPage.commitCreatePr.open":"పుల్ అభ్యర్థనను తెరు","localConversationPage.commitCreatePr.successTitle":"మీ తాజా మార్పులతో PR సృష్టించబడింది","localConversationPage.createBranchButtonLabel":"ఇక్కడ శాఖ","localConversationPage.createPrModal.baseBranch":"బేస్","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PRను సృష్టించు","localConversationPage.createPrModal.createDescription":"మీ తాజా మార్పుల కోసం ఒక పుల్ రిక్వెస్ట్‌ను తెరవండి.","localConversationPage.createPrModal.errorTitle":"పుల్ అభ్యర్థన విఫలమైంది","localConversationPage.createPrModal.headBranch":"తల","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PRను తెరవండి","localConversationPage.createPrModal.successTitle":"పుల్ అభ్యర్థన సృష్టించబడింది","localConversationPage.createPrModal.title":"పుల్ అభ్యర్థనను సృష్టించండి","localConversationPage.createPrModal.viewDescription":"ఈ బ్రాంచ్ కోసం ఇప్పటికే ఒక పుల్ రిక్వెస్ట్ ఉంది.","localConversationPage.createPrModal.viewTitle":"పుల్ రిక్వెస్ట్ సిద్ధంగా ఉంది","localConversationPage.createPullRequestAuthGh":"GitHub CLIని ప్రామాణీకరించండి: `gh auth login` ఆదేశాన్ని అమలు చేయండి","localConversationPage.createPullRequestBranchMissing":"బ్రాంచ్ సమాచారం అందుబాటులో లేదు","localConversationPage.createPullRequestButtonLabel":"PRను సృష్టించు","localConversationPage.createPullRequestButtonLabel.loading":"PRను సృష్టిస్తోంది...","localConversationPage.createPullRequestDefaultBranchMissing":"డిఫాల్ట్ బ్రాంచ్ సమాచారం అందుబాటులో లేదు","localConversationPage.createPullRequestError":"పుల్ అభ్యర్థనను సృష్టించడంలో విఫలమైంది","localConversationPage.createPullRequestExistingPullRequest":"ఈ బ్రాంచ్ కోసం ఇప్పటికే ఒక పుల్ రిక్వెస్ట్ ఉంది.","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI స్థితిని లోడ్ చేస్తోంది...","localConversationPage.createPullRequestInstallGh":"PRలను సృష్టించడానికి GitHub CLI (gh)ని ఇన్‌స్టాల్ చేయండి","localConversationPage.createPullRequestNoRepo":"గిట్ రిపోజిటరీ కనుగొనబడలేదు","localConversationPage.createPullRequestPushStatusMissing":"పుష్ స్థితి లోడ్ అవుతోంది...","localConversationPage.createPullRequestSetUpstream":"PR సృష్టించే ముందు ఈ బ్రాంచ్‌ను పుష్ చేయండి","localConversationPage.createPullRequestSuccessToast":"పుల్ అభ్యర్థన సృష్టించబడింది","localConversationPage.createPullRequestSwitchBranch":"PRని సృష్టించే ముందు ఫీచర్ బ్రాంచ్‌ని తనిఖీ చేయండి","localConversationPage.error.render":"స్థానిక సంభాషణను రెండరింగ్ చేయడంలో లోపం","localConversationPage.error.toast":"సంభాషణ కనుగొనబడలేదు","localConversationPage.forcePushError":"ఫోర్స్ పుష్ విఫలమైంది","localConversationPage.generatePullRequestMessageError":"పుల్ రిక్వెస్ట్ టైటిల్ మరియు బాడీని ఉత్పత్తి చేయడంలో విఫలమైంది","localConversationPage.generatePullRequestMessageFailed":"పుల్ రిక్వెస్ట్ శీర్షిక మరియు వివరణను ఉత్పత్తి చేయడంలో విఫలమైంది.","localConversationPage.gitActionResult.branch":"శాఖ","localConversationPage.gitActionResult.cancel":"రద్దు చేయండి","localConversationPage.gitActionResult.close":"మూసివేయి","localConversationPage.gitActionResult.tryAgain":"మళ్లీ ప్రయత్నించండి","localConversationPage.gitActions":"గిట్ చర్యలు","localConversationPage.newChat":"కొత్త చాట్","localConversationPage.openInTarget":"దీనిలో తెరవండి","localConversationPage.openPrimaryTarget":"తెరవండి","localConversationPage.planItemsCompleted":"{totalItems, plural, one {టాస్క్ పూర్తయింది#} other {#పనులు పూర్తయ్యాయి}} లో {completedItems}","localConversationPage.pushAuthError":"పుష్ విఫలమైంది: ప్రామాణీకరణ అవసరం","localConversationPage.pushBranchMissing":"బ్రాంచ్ సమాచారం అందుబాటులో లేదు","localConversationPage.pushButtonLabel":"పుష్","localConversationPage.pushButtonLabel.loading":"నెట్టడం...","localConversationPage.pushError":"మార్పులను పుష్ చేయడంలో విఫలమైంది","localConversationPage.pushModal.branchLabel":"శాఖ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"రద్దు చేయండి","localConversationPage.pushModal.confirm":"పుష్","localConversationPage.pushModal.description":"మీ తాజా కమిట్‌లను రిమోట్ రిపోజిటరీకి పుష్ చేయండి.","localConversationPage.pushModal.errorTitle":"పుష్ విఫలమైంది","localConversationPage.pushModal.forcePush":"ఫోర్స్ పుష్","localConversationPage.pushModal.successTitle":"పుష్ పూర్తయింది","localConversationPage.pushModal.title":"మార్పులను పుష్ చేయండి","localConversationPage.pushModal.tryAgain":"మళ్లీ ప్రయత్నించండి","localConversationPage.pushNoUpstream":"ఈ బ్రాంచ్‌ను పుష్ చేయడానికి ముందు ఒక అప్‌స్ట్రీమ్‌ను సెట్ చేయండి","localConversationPage.pushNoUpstreamError":"పుష్ విఫలమైంది: అప్‌స్ట్రీమ్ కాన్ఫిగర్ చేయబడలేదు","localConversationPage.pushNothingToPush":"పుష్ చేయడానికి కొత్త కమిట్‌లు ఏవీ లేవు.","localConversationPage.pushRemoteChangedError":"పుష్ విఫలమైంది: రిమోట్‌లో కొత్త కమిట్‌లు ఉన్నాయి","localConversationPage.pushRemoteRejectedError":"రిమోట్ ద్వారా పుష్ తిరస్కరించబడింది","localConversationPage.pushStatusMissing":"పుష్ స్థితి లోడ్ అవుతోంది...","localConversationPage.pushSuccessToast":"నెట్టబడిన మార్పులు","localConversationPage.viewPullRequestButtonLabel":"PR‌ను వీక్షించండి","localConversationPage.viewPullRequestButtonLabel.loading":"పుల్ రిక్వెస్ట్ ఎక్కించేస్తోంది…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# ఫైల్} other {# ఫైల్‌లు}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {జాబితా} other {జాబితాలు}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# శోధన} other {# శోధనలు}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"అన్వేషిస్తోంది","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"అన్వేషించింది","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts}ను అన్వేషించింది","localConversationTurnStory.showContent":"కంటెంట్‌ను చూపించండి","localConversationTurnStory.streamContent":"స్ట్రీమ్ కంటెంట్","localConversationTurnStory.toggleReasoning":"తర్కించడాన్ని చూపండి","localTaskRow.archiveError":"సంభాషణను ఆర్కైవ్ చేయడం విఫలమైంది.","localTaskRow.resumeError":"టాస్క్‌ను తిరిగి ప్రారంభించడంలో విఫలమైంది","mermaidDiagram.ariaLabel":"మత్స్యకన్య రేఖాచిత్రం","mermaidDiagram.copySource":"మెర్మైడ్ కాపీ","mermaidDiagram.originalCode":"మెర్మైడ్ సోర్స్ కోడ్","notifications.permissions.description":"నోటిఫికేషన్ అనుమతులు అవసరమైనప్పుడు హెచ్చరికలను చూపండి","notifications.permissions.label":"Enable permission notifications","notifications.turnMode.always":"ఎల్లప్పుడూ","notifications.turnMode.description":"Codex అది పూర్తయిందని మీకు తెలియజేసినప్పుడు సెట్ చేయండి","notifications.turnMode.label":"Turn completion notifications","notifications.turnMode.off":"ఎప్పుడూ లేదు","notifications.turnMode.unfocused":"Only when unfocused","patchApprovalRequest.approve":"ఆమోదించడానికి","patchApprovalRequest.menu.allowAlways":"Yes, and don't ask again this session","patchApprovalRequest.menu.allowForSession":"Yes, and don't ask again this session","patchApprovalRequest.menu.allowOnce":"అవును","patchApprovalRequest.prompt":"Do you want to make these changes?","patchApprovalRequest.reject":"లేదు","patchApprovalRequest.waitingForApproval":"ఫైళ్లను సవరించడానికి ఆమోదం కోసం వేచి ఉంది","pendingRequest.approvalExec.collapse":"కుదించు","pendingRequest.approvalExec.expand":"విస్తరింపజేయండి","pendingRequestStory.toastAnswer":"Answer: {answer}","pendingRequestStory.toastApprovalTitle":"Approval response","pendingRequestStory.toastFollowupPrompt":"ప్రాంప్ట్: {prompt}","pendingRequestStory.toastFollowupTitle":"ఫాలో-అప్ పంపిస్తుంది","pendingRequestStory.toastNoAnswers":"No answers provided","pendingRequestStory.toastQuestion":"Question: {question}","pendingRequestStory.toastUnknownDecision":"తెలియదు","pendingRequestStory.toastUserInputTitle":"Submitted answers","quickAction.request.codeReview.branches.new":"దయచేసి {from} vs {to}లోని మార్పులను సమీక్షించండి","quickAction.request.codeReview.uncommitted.new":"దయచేసి నా కట్టుబడి లేని మార్పులను సమీక్షించండి.","reasoningItem.thinking":"ఆలోచిస్తోంది","reasoningItem.thought":"ఆలోచన","reasoningItem.thoughtWithElapsed":"{elapsed} కోసం ఆలోచన","recentConversations.title":"ఇటీవలి సంభాషణలు ఏవీ లేవు","recentTasks.worktreeInitFailedTitle":"వర్క్‌ట్రీ ఇనిట్ విఫలమైంది","recentTasks.worktreeSettingUpTitle":"వర్క్‌ట్రీని సెటప్ చేస్తోంది","requestInputPanel.continue":"కొనసాగించండి","requestInputPanel.dismiss":"విస్మరించండి","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"ఇక్కడ టైప్ చేయండి","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"No, and tell Codex what to do differently","requestInputPanel.selectedBadge":"ఎంచుకోబడింది","requestInputPanel.skip":"దాటవేయండి","requestInputPanel.submit":"సమర్పించండి","review.commit.ariaLabel.includeUnstaged":"ప్రదర్శించని వాటిని చేర్చండి","review.commit.buttonLabel":"కమిట్ చేయండి","review.commit.disabled.committing":"కమిట్ అవుతోంది...","review.commit.disabled.loadingDiff":"తేడాలను లోడ్ చేస్తోంది...","review.commit.disabled.missingContext":"కమిట్ సందేశాన్ని ఉత్పత్తి చేయదనికి కొంత సందర్భాన్ని జోడించండి","review.commit.disabled.noChanges":"మార్చడానికి ఏమీ లేదు","review.commit.disabled.noSelection":"కమిట్ చేయడానికి మార్పులను ఎంచుకోండి","review.commit.disabled.unavailable":"ప్రస్తుతానికి కమిట్ అందుబాటులో లేదు","review.commit.error":"Failed to commit changes","review.commit.form.changesToBeCommitted":"మార్పులు","review.commit.form.commitTo":"శాఖ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"కొనసాగించండి","review.commit.form.title":"మీ మార్పులను సమర్పించండి","review.commit.generate.emptyResponse":"కమిట్ సందేశాన్ని ఉత్పత్తి చేయలేకపోయాము.","review.commit.generate.failed":"కమిట్ సందేశాన్ని ఉత్పత్తి చేయడంలో విఫలమైంది: {error}","review.commit.generate.missingPrompt":"కమిట్ సందేశాన్ని ఉత్పత్తి చేయడానికి కొంత సందర్భాన్ని జోడించండి.","review.commit.includeUnstaged":"ప్రదర్శించని వాటిని చేర్చండి","review.commit.loading.description":"గట్టిగా పట్టుకోండి, దీనికి కొన్ని క్షణాలు పట్టవచ్చు...","review.commit.loading.step.commit.done":"అంగీకరించిన మార్పులు","review.commit.loading.step.commit.pending":"మార్పులను సమర్పించడం","review.commit.loading.step.createPr.done":"పుల్ రిక్వెస్ట్ సృష్టించబడింది","review.commit.loading.step.createPr.pending":"పుల్ రిక్వెస్ట్‌ను సృష్టించడం","review.commit.loading.step.push.done":"బ్రాంచ్ {branch}కి పంపబడింది","review.commit.loading.step.push.pending":"బ్రాంచ్‌కు పుష్ చేస్తోంది {branch}","review.commit.loading.title.commit":"మార్పులను సమర్పించడం","review.commit.loading.title.createPr":"PR సృష్టించడం","review.commit.loading.title.push":"మార్పులను నెట్టడం","review.commit.messageLabel":"సందేశాన్ని కమిట్ చేయండి","review.commit.messagePlaceholder":"కమిట్ సందేశాన్ని ఆటోజెనరేట్ చేయడానికి ఖాళీగా వదిలేయండి","review.commit.nextSteps":"తదుపరి చర్యలు","review.commit.nextSteps.commit":"కమిట్ చేయండి","review.commit.nextSteps.commitAndCreate":"కమిట్ చేసి PR సృష్టించండి","review.commit.nextSteps.commitAndPush":"కమిట్ చేసి పుష్ చేయండి","review.commit.nextSteps.prRequiresGh":"GitHub CLI అవసరం: {command}","review.commit.rows.changes":"మార్పులు","review.commit.rows.commitCount":"{count, plural, one {# కట్టుబడి ఉంది} other {# కట్టుబడి ఉంది}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# కట్టుబడి} other {# కట్టుబడి ఉంది}} మరియు {stats}","review.commit.rows.fileCount":"{count, plural, one {# ఫైల్} other {# ఫైల్‌లు}}","review.commit.state.error.body":"కమిట్ చేసేటప్పుడు ఏదో పొరపాటు జరిగింది. మీ గిట్ స్టేటస్‌ను తనిఖీ చేసి, మళ్లీ ప్రయత్నించండి.","review.commit.state.error.title":"కమిట్ విఫలమైంది","review.commit.state.success.title":"చేసిన మార్పులు","review.commit.untracked.loadingStats":"ట్రాక్ చేయని డిఫ్ గణాంకాలను లోడ్ చేస్తోంది…","reviewFindingAttachments.count":"{count, plural, one {# కనుగొనడం} other {# కనుగొనబడినవి}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Edit your config to customize agent behavior","settings.agent.configuration.configToml.docs":"పత్రాలు","settings.agent.configuration.configToml.restartNote":"మార్పులను వర్తింపజేయడానికి సవరణ తర్వాత కోడెక్స్‌ను పునఃప్రారంభించండి","settings.agent.configuration.subtitle":"ఈ సెట్టింగ్‌లు Codex ఉపయోగించే అన్ని చోట్ల వర్తిస్తాయి.","settings.automations.banner.danger":"ఆటోమేషన్‌లు మీ డిఫాల్ట్ శాండ్‌బాక్స్ సెట్టింగ్‌లతో నడుస్తాయి, ఇవి ప్రస్తుతం పూర్తి ప్రాప్యత‌కు సెట్ చేయబడ్డాయి. Codex అడగకుండానే ఫైల్‌లను సవరించవచ్చు, ఆదేశాలను అమలు చేయవచ్చు మరియు నెట్‌వర్క్‌ను ప్రాప్యత చేయవచ్చు కాబట్టి పూర్తి ప్రాప్యతతో నేపథ్య ఆటోమేషన్‌లను అమలు చేయడం వల్ల ప్రమాదం పెరుగుతుంది. వర్క్‌స్పేస్ రైట్‌కు శాండ్‌బాక్స్ సెట్టింగ్‌లను నవీకరించడాన్ని పరిగణించండి మరియు ఏజెంట్ పూర్తి ప్రాప్యత‌తో ఏ <rulesDocsLink>ఆదేశాలను</rulesDocsLink> అమలు చేయవచ్చో ఎంపిక చేసుకోవడానికి నియమాలను ఉపయోగించండి.","settings.automations.banner.defaultHowTo.default":"మీ డిఫాల్ట్ శాండ్‌బాక్స్ సెట్టింగ్‌లతో ఆటోమేషన్‌లు నడుస్తాయి. వర్క్‌స్పేస్ వెలుపల ఫైల్‌లను సవరించడం, నెట్‌వర్క్‌ను ప్రాప్యత చేయడం లేదా మీ కంప్యూటర్‌లోని యాప్‌లతో పనిచేయడం అవసరమైతే టూల్ కాల్‌లు విఫలమవుతాయి. నియమాలను ఉపయోగించి శాండ్‌బాక్స్ వెలుపల అమలు చేయడానికి <rulesDocsLink>ఆదేశాలను</rulesDocsLink> మీరు ఎంపిక చేసుకోవచ్చు.","settings.automations.banner.defaultHowTo.readOnly":"ఆటోమేషన్‌లు మీ డిఫాల్ట్ శాండ్‌బాక్స్ సెట్టింగ్‌లతో నడుస్తాయి, ఇవి చదవడానికి మాత్రమే సెట్ చేయబడ్డాయి. ఫైల్‌లను సవరించడం, నెట్‌వర్క్‌ను ప్రాప్యత చేయడం లేదా మీ కంప్యూటర్‌లోని యాప్‌లతో పనిచేయడం అవసరమైతే టూల్ కాల్‌లు విఫలమవుతాయి. శాండ్‌బాక్స్ సెట్టింగ్‌లను వర్క్‌స్పేస్ రైట్‌కు అప్‌డేట్ చేయడాన్ని పరిగణించండి.","settings.automations.cancel":"రద్దు చేయండి","settings.automations.create":"సృష్టించండి","settings.automations.cwdEmpty":"ప్రాజెక్ట్ ఫోల్డర్‌లు అందుబాటులో లేవు","settings.automations.cwdLabel":"ప్రాజెక్ట్‌లు","settings.automations.cwdPlaceholder":"ఒక ఫోల్డర్‌ను ఎంచుకోండి","settings.automations.cwdSubtitle":"మీరు ఒక నిర్దిష్ట బ్రాంచ్‌లో ఆటోమేషన్ నడపాలనుకుంటే, మీరు దానిని మీ ప్రేరేపణలో పేర్కొనవచ్చు.","settings.automations.delete":"తొలగించండి","settings.automations.dialog.editTitle":"ఆటోమేషన్‌ను సవరించండి","settings.automations.dialog.newTitle":"కొత్త ఆటోమేషన్","settings.automations.dialog.subtitle":"నేపథ్యంలో పునరావృతమయ్యే పనులను ఆటోమేట్ చేయండి. Codex ఇన్‌బాక్స్‌కు ఫలితాలను జోడిస్తుంది లేదా నివేదించడానికి ఏమీ లేకుంటే టాస్క్‌ను స్వయంచాలకంగా ఆర్కైవ్ చేస్తుంది. <learnMoreLink>మరింత తెలుసుకోండి</learnMoreLink>.","settings.automations.dialog.title":"ఆటోమేషన్‌ను సృష్టించండి","settings.automations.executionCopy.git":"ఆటోమేషన్లు ప్రత్యేక వర్క్‌ట్రీలపై బ్యాక్‌గ్రౌండ్‌లో నడుస్తాయి.","settings.automations.executionCopy.nonGit":"వెర్షన్-నియంత్రిత ప్రాజెక్టులలో ఆటోమేషన్ నేరుగా ప్రాజెక్ట్ డైరెక్టరీలో నడుస్తుంది. నేపథ్య వర్క్‌ట్రీలో అమలు చేయడానికి Gitని ఉపయోగించడాన్ని పరిగణించండి.","settings.automations.executionEnvironment.local":"లోకల్","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"లోడ్ అవుతోంది…","settings.automations.nameLabel":"పేరు","settings.automations.namePlaceholder":"సెంట్రీ సమస్యల కోసం తనిఖీ చేయండి","settings.automations.pause":"పాజ్ చేయి","settings.automations.promptLabel":"ప్రాంప్ట్","settings.automations.promptPlaceholder":"$Sentryలో క్రాష్‌ల కోసం చూడండి","settings.automations.resume":"పునఃప్రారంభించు","settings.automations.rruleSummaryFallback":"కస్టమ్ షెడ్యూల్","settings.automations.runNow":"పరీక్ష","settings.automations.save":"సేవ్ చేయండి","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}గంటలు","settings.automations.scheduleBadge.weekdays":"వారాంతపు రోజులు","settings.automations.scheduleBadge.weekends":"వారాంతపు రోజులు","settings.automations.scheduleHeader":"షెడ్యూల్","settings.automations.scheduleHours":"గంటలు","settings.automations.scheduleLabel":"ప్రతిదాన్ని అమలు చేయండి","settings.automations.scheduleMode.daily":"ప్రతి రోజు","settings.automations.scheduleMode.interval":"విరామం","settings.automations.scheduleModeLabel":"షెడ్యూల్ రకం","settings.automations.scheduleSummary.daily":"ప్రతి రోజు {time}కి","settings.automations.scheduleSummary.interval":"ప్రతి {count}h","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# రోజు} other {# రోజులు}}","settings.automations.scheduleSummary.intervalDays":"{days}లో {interval}","settings.automations.scheduleSummary.intervalHourly":"గంటకు","settings.automations.scheduleSummary.singleDay":"{time} వద్ద {day}","settings.automations.scheduleSummary.weekdays":"{time}లో వారాంతపు రోజులు","settings.automations.scheduleSummary.weekdaysLabel":"వారాంతపు రోజులు","settings.automations.scheduleSummary.weekends":"{time}లో వారాంతపు రోజులు","settings.automations.scheduleSummary.weekendsLabel":"వారాంతపు రోజులు","settings.automations.scheduleSummary.weekly":"{time} వద్ద {days}","settings.automations.scheduleWeekdays":"ఆన్","settings.automations.weekdayState.excluded":"మినహాయించబడింది","settings.automations.weekdayState.included":"చేర్చబడింది","settings.conversationDetail.steps":"దశలు","settings.conversationDetail.steps.description":"ఆదేశాలు మరియు అవుట్‌పుట్‌లను దాచండి","settings.conversationDetail.stepsWithCommands":"కోడ్ ఆదేశాలతో కూడిన దశలు","settings.conversationDetail.stepsWithCommands.description":"కమాండ్‌లను చూపించండి, అవుట్‌పుట్‌ను కుదించండి","settings.conversationDetail.stepsWithOutput":"కోడ్ అవుట్‌పుట్‌తో కూడిన దశలు","settings.conversationDetail.stepsWithOutput.description":"కమాండ్‌లను చూపించండి మరియు అవుట్‌పుట్‌ను విస్తరించండి","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"ఆర్కైవ్ చేసిన చాట్‌‌లు ఏవీ లేవు.","settings.dataControls.archivedChats.error":"ఆర్కైవ్ చేయబడిన చాట్‌లను లోడ్ చేయలేకపోయాము.","settings.dataControls.archivedChats.loading":"ఆర్కైవ్ చేసిన చాట్‌లను లోడ్ చేస్తోంది…","settings.dataControls.archivedChats.unarchive":"అన్ ఆర్కైవ్","settings.dataControls.archivedChats.unarchiveError":"చాట్‌ను ఆర్కైవ్ నుండి తీసివేయడంలో విఫలమైంది.","settings.dataControls.archivedChats.unarchiveSuccess":"ఆర్కైవ్ చేయని థ్రెడ్. <viewNowLink>ఇప్పుడే చూడండి </viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"ఆర్కైవ్ చేయని థ్రెడ్.","settings.dataControls.archivedChats.untitled":"పేరులేని చాట్","settings.dataControls.archivedChats.viewNow":"ఇప్పుడు చూడండి","settings.editRow.headerPlaceholder":"కీ","settings.editRow.removeEntry":"ఎంట్రీని తీసివేయండి","settings.editRow.valuePlaceholder":"విలువ","settings.general.appearance":"స్వరూపం","settings.general.appearance.codeFont":"కోడ్ ఫాంట్","settings.general.appearance.codeFont.description":"చాట్‌లు మరియు తేడాలలో కోడ్ కోసం ఉపయోగించే ఫాంట్ మరియు పరిమాణాన్ని సర్దుబాటు చేయండి.","settings.general.appearance.codeFontFamily":"కోడ్ ఫాంట్ కుటుంబం","settings.general.appearance.codeFontSize":"కోడ్ ఫాంట్ పరిమాణం","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"విండోస్ సిస్టమ్ అపారదర్శకత కంటే ఘన నేపథ్యాన్ని ఉపయోగించుకునేలా చేయండి","settings.general.appearance.opaqueWindows.label":"అపారదర్శక విండో నేపథ్యాన్ని ఉపయోగించండి","settings.general.appearance.sansFontFamily":"సాన్స్ ఫాంట్ కుటుంబం","settings.general.appearance.sansFontFamily.description":"Codex UI కోసం ఉపయోగించే ఫాంట్‌ను సర్దుబాటు చేయండి","settings.general.appearance.sansFontSize":"Sans font size","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark మొదటి మలుపు నడుపుతున్నప్పుడు పూర్తి-విండో వేడుక ప్రభావాలను చూపించు","settings.general.appearance.sparkCelebrationEffects.label":"స్పార్క్ వేడుక ప్రభావాలు","settings.general.appearance.theme":"థీమ్","settings.general.appearance.theme.dark":"చీకటి","settings.general.appearance.theme.description":"లేత, ముదురు రంగును ఉపయోగించండి లేదా మీ సిస్టమ్‌కు సరిపోయేలా ఎంచుకోండి","settings.general.appearance.theme.light":"కాంతి","settings.general.appearance.theme.system":"వ్యవస్థ","settings.general.appearance.usePointerCursors.description":"ఇంటరాక్టివ్ ఎలిమెంట్స్‌పై హోవర్ చేస్తున్నప్పుడు కర్సర్‌ను పాయింటర్‌గా మార్చండి","settings.general.appearance.usePointerCursors.label":"పాయింటర్ కర్సర్‌లను ఉపయోగించండి","settings.general.enterBehavior.description":"When enabled, multiline prompts require {modifierSymbol} + enter to send.","settings.general.enterBehavior.label":"Require {modifierSymbol} + enter to send long prompts","settings.general.experimentalFeatures":"ప్రయోగాత్మక లక్షణాలు (బీటా)","settings.general.experimentalFeatures.empty":"బీటా ప్రయోగాత్మక లక్షణాలు అందుబాటులో లేవు.","settings.general.experimentalFeatures.loading":"ప్రయోగాత్మక లక్షణాలను ఎక్కించేస్తోంది...","settings.general.experimentalFeatures.restartNote":"ప్రయోగాత్మక ఫీచర్ మార్పులను వర్తింపజేయడానికి Codex‌ను పునఃప్రారంభించండి.","settings.general.experimentalFeatures.toggle":"{featureName}ను టోగుల్ చేయండి","settings.general.followUpQueueMode.description":"కోడెక్స్ నడుస్తున్నప్పుడు ఫాలో-అప్‌లను క్యూలో ఉంచండి లేదా ప్రస్తుత రన్‌ను నియంత్రించండి. ఒక సందేశం కోసం దీనికి విరుద్ధంగా చేయడానికి {invertFollowUpShortcutLabel}ను నొక్కండి.","settings.general.followUpQueueMode.interrupt":"స్టీర్","settings.general.followUpQueueMode.label":"ఫాలో-అప్ ప్రవర్తన","settings.general.followUpQueueMode.queue":"క్యూ","settings.general.notifications":"నోటిఫికేషన్‌లు","settings.general.power.preventSleepWhileRunning.description":"Codex ఒక థ్రెడ్‌ను నడుపుతున్నప్పుడు మీ కంప్యూటర్‌ను ఆన్‌లో ఉంచండి.","settings.general.power.preventSleepWhileRunning.label":"నడుస్తున్నప్పుడు నిద్రపోకుండా నిరోధించండి","settings.git.branchPrefix.ariaLabel":"శాఖ ఉపసర్గ","settings.git.branchPrefix.description":"Codex‌లో కొత్త శాఖలను సృష్టించేటప్పుడు ఉపయోగించే ఉపసర్గ","settings.git.branchPrefix.label":"శాఖ ఉపసర్గ","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"బ్రాంచ్ ప్రిఫిక్స్‌ను సేవ్ చేయడంలో విఫలమైంది","settings.git.branchPrefix.save.success":"సేవ్ చేయబడిన బ్రాంచ్ ఉపసర్గ","settings.git.commitInstructions.ariaLabel":"కమిట్ సూచనలు","settings.git.commitInstructions.description":"సందేశ జనరేషన్ ప్రేరేపనలను కమిట్ చేయడానికి జోడించబడింది","settings.git.commitInstructions.label":"కమిట్ సూచనలు","settings.git.commitInstructions.placeholder":"కమిట్ సందేశ మార్గదర్శకత్వాన్ని జోడించండి…","settings.git.commitInstructions.save":"సేవ్ చేయండి","settings.git.commitInstructions.save.error":"కమిట్ సూచనలను సేవ్ చేయడంలో విఫలమైంది","settings.git.commitInstructions.save.success":"సేవ్ చేయబడిన కమిట్ సూచనలు","settings.git.forcePush.ariaLabel":"ఎల్లప్పుడూ ఫోర్స్ పుష్ చేయండి","settings.git.forcePush.description":"Codex నుండి పుష్ చేస్తున్నప్పుడు --force-with-lease ఉపయోగించండి","settings.git.forcePush.label":"ఎల్లప్పుడూ ఫోర్స్ పుష్ చేయండి","settings.git.forcePush.save.disabled":"ఎల్లప్పుడూ ఫోర్స్ పుష్ డిసేబుల్ చేయబడింది","settings.git.forcePush.save.enabled":"ఎల్లప్పుడూ ఫోర్స్ పుష్ ప్రారంభించబడింది","settings.git.forcePush.save.error":"ఫోర్స్ పుష్ సెట్టింగ్‌ను సేవ్ చేయడంలో విఫలమైంది","settings.git.prInstructions.ariaLabel":"పుల్ రిక్వెస్ట్ సూచనలు","settings.git.prInstructions.description":"Codex ద్వారా సృష్టించబడిన అభ్యర్థన బాడీలను లాగడానికి జోడించబడింది","settings.git.prInstructions.label":"పుల్ రిక్వెస్ట్ సూచనలు","settings.git.prInstructions.placeholder":"పుల్ రిక్వెస్ట్ మార్గదర్శకాలను జోడించండి…","settings.git.prInstructions.save":"సేవ్ చేయండి","settings.git.prInstructions.save.error":"పుల్ అభ్యర్థన సూచనలను సేవ్ చేయడంలో విఫలమైంది","settings.git.prInstructions.save.success":"సేవ్ చేయబడిన పుల్ అభ్యర్థన సూచనలు","settings.ide.defaultOpenTarget.description":"Where files and folders open by default","settings.ide.defaultOpenTarget.label":"Default open destination","settings.ide.defaultOpenTarget.placeholder":"లక్ష్యాలు ఏవీ కనుగొనబడలేదు","settings.ide.language.auto":"స్వయం పరిశోధన","settings.ide.language.autoOption":"స్వయం పరిశోధన","settings.ide.language.description":"Language for the app UI","settings.ide.language.label":"భాష","settings.ide.language.search":"భాషలను శోధించండి","settings.layout.actionButton":"ఎక్స్‌టెన్షన్‌ను ప్రారంభించండి","settings.layout.actionTitle":"చర్యతో కూడిన సెట్టింగ్‌లు","settings.layout.fullWidthTitle":"సెట్టింగ్‌లు (పూర్తి వెడల్పు)","settings.layout.title":"సెట్టింగ్‌లు","settings.localEnvironments.actions.add":"చర్యను జోడించండి","settings.localEnvironments.actions.add.description":"Create a new command to run from the toolbar.","settings.localEnvironments.actions.add.save":"సేవ్ చేయండి","settings.localEnvironments.actions.empty":"లోకల్ టూల్‌బార్ నుండి కమాండ్‌లను అమలు చేయడానికి ఒక చర్యను జోడించండి.","settings.localEnvironments.actions.icon.debug":"డీబగ్ చేయండి","settings.localEnvironments.actions.icon.run":"రన్ చేయి","settings.localEnvironments.actions.icon.test":"పరీక్ష","settings.localEnvironments.actions.icon.tool":"టూల్","settings.localEnvironments.actions.item.button.delete":"తొలగించండి","settings.localEnvironments.actions.item.command":"యాక్షన్ స్క్రిప్ట్","settings.localEnvironments.actions.item.name":"పేరు","settings.localEnvironments.actions.item.platforms":"ప్లాట్‌ఫారమ్‌లు","settings.localEnvironments.actions.item.platforms.help":"ఒక నిర్దిష్ట ఆపరేటింగ్ సిస్టమ్‌పై మాత్రమే నడుస్తుంది.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"ప్లాట్‌ఫారమ్ ఎంపిక","settings.localEnvironments.actions.item.platforms.specific":"ప్లాట్‌ఫారమ్ ఎంపిక","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"తొలగించండి","settings.localEnvironments.actions.title":"చర్యలు","settings.localEnvironments.breadcrumb.back":"వెనుకకు","settings.localEnvironments.breadcrumb.edit":"ఎడిట్ చేయండి","settings.localEnvironments.breadcrumb.root":"పర్యావరణాలు","settings.localEnvironments.environment.actions.description":"ఈ చర్యలు ఏదైనా కమాండ్‌ను అమలు చేయగలవు మరియు అవి హెడర్‌లో ప్రదర్శించబడతాయి.","settings.localEnvironments.environment.actionsLabel":"చర్యలు","settings.localEnvironments.environment.create":"స్థానిక వాతావరణాన్ని సృష్టించండి","settings.localEnvironments.environment.defaultName":"స్థానిక","settings.localEnvironments.environment.edit":"స్థానిక వాతావరణాన్ని సవరించండి","settings.localEnvironments.environment.empty":"ఈ ప్రాజెక్ట్ కోసం ఇంకా స్థానిక వాతావరణం కాన్ఫిగర్ చేయబడలేదు.","settings.localEnvironments.environment.name":"పేరు","settings.localEnvironments.environment.setup":"స్క్రిప్ట్‌ను సెట్ చేయండి","settings.localEnvironments.environment.setup.description":"ఈ స్క్రిప్ట్ వర్క్‌ట్రీని సృష్టించినప్పుడు అమలు అవుతుంది.","settings.localEnvironments.environment.setup.hint":"ప్రాజెక్ట్ రూట్‌లో నడుస్తుంది.","settings.localEnvironments.environment.setup.platformOverrides":"ప్లాట్‌ఫామ్ ఓవర్‌రైడ్‌లు","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} సెటప్ స్క్రిప్ట్‌ను జోడించండి","settings.localEnvironments.environment.setup.platformOverrides.description":"నిర్దిష్ట OSల కోసం డిఫాల్ట్ స్క్రిప్ట్‌ను ఓవర్‌రైడ్ చేస్తుంది.","settings.localEnvironments.environment.setup.platformOverrides.remove":"తీసివేయండి","settings.localEnvironments.environment.setup.script":"స్క్రిప్ట్","settings.localEnvironments.environment.title":"పర్యావరణం వివరాలు","settings.localEnvironments.file.missing":"ఈ ఫైల్‌ను మొదటిసారిగా సృష్టించడానికి సేవ్ చేయండి.","settings.localEnvironments.file.parseError":"ఇప్పటికే ఉన్న ఫైల్‌ను ప్రాసెస్ చేయలేకపోయాము. సేవ్ చేస్తే అది పాత ఫైల్‌పై రాయబడుతుంది. ({error})","settings.localEnvironments.file.path":"ఫైల్: {path}","settings.localEnvironments.file.readError":"స్థానిక పర్యావరణ డేటాను లోడ్ చేయడంలో విఫలమైంది. ({error})","settings.localEnvironments.file.title":"స్థానిక పర్యావరణ ఫైల్","settings.localEnvironments.loading.body":"మీ ప్రాజెక్ట్ కాన్ఫిగరేషన్‌ను పొందుతోంది.","settings.localEnvironments.loading.title":"స్థానిక వాతావరణాలను లోడ్ చేస్తోంది","settings.localEnvironments.preview.devOnly":"(DEV కోసం మాత్రమే)","settings.localEnvironments.preview.save":"సేవ్ చేయండి","settings.localEnvironments.preview.saveError":"ఫైల్‌ను సేవ్ చేయడంలో విఫలమైంది. ({error})","settings.localEnvironments.preview.title":"ప్రివ్యూ","settings.localEnvironments.save.disabled.name":"Add an environment name to save.","settings.localEnvironments.save.disabled.noChanges":"No changes to save.","settings.localEnvironments.save.disabled.saving":"సేవ్ చేస్తోంది...","settings.localEnvironments.save.success":"స్థానిక పర్యావరణాన్ని కాపాడారు","settings.localEnvironments.unavailable.body":"ఈ ప్రాజెక్ట్ కోసం స్థానిక పర్యావరణ సెట్టింగ్‌లను మేము ఎక్కించలేకపోయాము.","settings.localEnvironments.unavailable.title":"స్థానిక వాతావరణాలు అందుబాటులో లేవు","settings.localEnvironments.workspace.add":"ప్రాజెక్ట్‌ను జోడించండి","settings.localEnvironments.workspace.title":"ప్రాజెక్ట్","settings.localEnvironments.workspaceSelect.addLabel":"పర్యావరణాన్ని జోడించండి","settings.localEnvironments.workspaceSelect.description":"స్థానిక పరిసరాలు ఒక వర్క్‌స్పేస్ కోసం Worktreeలను ఎలా సెటప్ చేయాలో Codex‌కు తెలియజేస్తాయి.{learnMore}","settings.localEnvironments.workspaceSelect.empty":"ఇంకా ప్రాజెక్ట్‌లు లేవు. స్థానిక వాతావరణాలను కాన్ఫిగర్ చేయడానికి ఒకదాన్ని జోడించండి.","settings.localEnvironments.workspaceSelect.errorLabel":"పర్యావరణానికి శ్రద్ధ అవసరం.","settings.localEnvironments.workspaceSelect.learnMore":"మరింత తెలుసుకోండి","settings.localEnvironments.workspaceSelect.listLabel":"అందుబాటులో ఉన్న ప్రాజెక్టులు","settings.localEnvironments.workspaceSelect.loading":"ప్రాజెక్ట్‌లను లోడ్ చేస్తోంది","settings.localEnvironments.workspaceSelect.loadingLabel":"పర్యావరణాన్ని లోడ్ చేస్తోంది","settings.localEnvironments.workspaceSelect.title":"ప్రాజెక్ట్‌ను ఎంచుకోండి","settings.localEnvironments.workspaceSelect.viewAction":"చూడండి","settings.mcp.addServer":"సర్వర్‌ను జోడించండి","settings.mcp.app.configure":"కాన్ఫిగర్ చేయి","settings.mcp.app.connect":"కనెక్ట్ చేయి","settings.mcp.apps.refresh":"రిఫ్రెష్ చేయండి","settings.mcp.detail.addArgument":"వాదనను జోడించండి","settings.mcp.detail.addEnvVar":"పర్యావరణ వేరియబుల్‌ను జోడించండి","settings.mcp.detail.addEnvVarPassthrough":"వేరియబుల్‌ను జోడించండి","settings.mcp.detail.args":"వాదనలు","settings.mcp.detail.back":"వెనుకకు","settings.mcp.detail.command":"ప్రారంభించటానికి ఆదేశం","settings.mcp.detail.cwd":"పని చేసే డైరెక్టరీ","settings.mcp.detail.docs":"MCP డాక్యుమెంటేషన్‌ను తెరవండి","settings.mcp.detail.docs.link":"పత్రాలు","settings.mcp.detail.envVarPassthrough":"పర్యావరణ వేరియబుల్ పాస్‌త్రూ","settings.mcp.detail.envVars":"పర్యావరణ వేరియబుల్స్","settings.mcp.detail.http.addEnvHeader":"వేరియబుల్‌ను జోడించండి","settings.mcp.detail.http.addHeader":"హెడర్‌ను జోడించండి","settings.mcp.detail.http.bearerToken":"బేరర్ టోకెన్ env var","settings.mcp.detail.http.envHeaders":"ఎన్విరాన్మెంట్ వేరియబుల్స్ నుండి హెడర్‌లు","settings.mcp.detail.http.headers":"హెడర్‌లు","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"పేరు","settings.mcp.detail.save":"సేవ్ చేయండి","settings.mcp.detail.switchTransportNotice":"మీరు MCP సర్వర్ రకాన్ని మార్చాలనుకుంటే, దయచేసి ముందుగా అన్‌ఇన్‌స్టాల్ చేయండి.","settings.mcp.detail.titleExisting":"{name} MCPని అప్‌డేట్ చేయండి","settings.mcp.detail.titleNew":"కస్టమ్ MCPకి అనుసంధానం చేయండి","settings.mcp.detail.transport.http":"స్ట్రీమ్ చేయగల HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"అన్‌ఇన్‌స్టాల్ చేయండి","settings.mcp.empty":"No custom MCP servers connected","settings.mcp.myServers":"కస్టమ్ సర్వర్‌లు","settings.mcp.partnerServer.description.figma":"పూర్తి ఫిగ్మా సందర్భాన్ని తీసుకురావడం ద్వారా మెరుగైన కోడ్‌ను రూపొందించండి","settings.mcp.partnerServer.description.github":"వర్క్‌ఫ్లోలను ఆటోమేట్ చేయడానికి మరియు డేటాను సంగ్రహించడానికి GitHub APIలతో ఇంటిగ్రేట్ చేయండి","settings.mcp.partnerServer.description.linear":"లీనియర్ యొక్క సమస్య ట్రాకింగ్ మరియు ప్రాజెక్ట్ నిర్వహణతో ఇంటిగ్రేట్ చేయండి","settings.mcp.partnerServer.description.notion":"పత్రాలను చదవండి, పేజీలను అప్‌డేట్ చేయండి, పనులను నిర్వహించండి","settings.mcp.partnerServer.description.playwright":"డిజైన్‌ను అమలు చేయడానికి మరియు UIని పరీక్షించడానికి బ్రౌజర్ ఆటోమేషన్‌ను ఇంటిగ్రేట్ చేయండి.","settings.mcp.partnerServer.install":"ఇన్‌స్టాల్ చేయండి","settings.mcp.partnerServer.installAndAuthenticate":"ఇన్‌స్టాల్ చేసి ప్రామాణీకరించండి","settings.mcp.partnerServer.logoAlt":"{label} లోగో","settings.mcp.partnerServer.manage":"నిర్వహించండి","settings.mcp.partnerServer.vendor":"{vendor} ద్వారా","settings.mcp.recommendedServers":"సిఫార్సు చేయబడిన సర్వర్‌లు","settings.mcp.restartApp":"రీస్టార్ట్ చేయండి","settings.mcp.restartExtension":"ఎక్స్‌టెన్షన్‌ను ప్రారంభించండి","settings.mcp.server.enable":"ఎనేబుల్ చేయి","settings.mcp.server.login":"ప్రమాణీకరించండి","settings.mcp.server.settings":"సెట్టింగ్‌లు","settings.multiselect.createOption":'"{value}"ను సృష్టించండి',"settings.multiselect.removeOption":"తీసివేయండి","settings.nav.account":"ఖాతా","settings.nav.agent":"ఆకృతీకరణ","settings.nav.ariaLabel":"సెట్టింగ్‌లు","settings.nav.back":"యాప్‌కి తిరిగి వెళ్ళు","settings.nav.data-controls":"ఆర్కైవ్ చేయబడిన థ్రెడ్‌లు","settings.nav.environments":"క్లౌడ్ పర్యావరణాలు","settings.nav.externalTooltip":"[alpha] Opens in browser","settings.nav.general-settings":"జనరల్","settings.nav.git-settings":"గిట్","settings.nav.local-environments":"పర్యావరణాలు","settings.nav.mcp-settings":"MCP సర్వర్‌లు","settings.nav.notImplemented":"[alpha] Not available in Alpha","settings.nav.personalization":"వ్యక్తిగతీకరణ","settings.nav.skills-settings":"నైపుణ్యాలు","settings.nav.usage-analytics":"వినియోగం & విశ్లేషణలు","settings.nav.worktrees":"Worktrees","settings.openSourceLicenses.back":"వెనుకకు","settings.openSourceLicenses.loading":"లోడ్ అవుతోంది…","settings.openSourceLicenses.missing":"No third-party notices were found.","settings.openSourceLicenses.notSupported":"Not available in this host.","settings.openSourceLicenses.rowDescription":"Third-party notices for bundled dependencies","settings.openSourceLicenses.rowLabel":"ఓపెన్ సోర్స్ లైసెన్స్‌లు","settings.openSourceLicenses.subtitle":"Third-party notices for dependencies included in this app","settings.openSourceLicenses.title":"ఓపెన్ సోర్స్ లైసెన్స్‌లు","settings.openSourceLicenses.view":"చూడండి","settings.personalization.agents.description":"Codexను మీకు అనుగుణంగా మార్చే సూచనలను సవరించండి. {learnMore}","settings.personalization.agents.learnMore":"మరింత తెలుసుకోండి","settings.personalization.agents.loadError":"ఏజెంట్‌లు.ఎండిని లోడ్ చేయలేకపోయింది.","settings.personalization.agents.loading":"ఏజెంట్లు.md లోడ్ అవుతోంది…","settings.personalization.agents.placeholder":"మీ అనుకూల సూచనలను జోడించండి…","settings.personalization.agents.retry":"మళ్లీ ప్రయత్నించండి","settings.personalization.agents.save":"సేవ్ చేయండి","settings.personalization.agents.save.error":"ఏజెంట్‌లు సేవ్ చేయలేకపోయింది","settings.personalization.agents.save.success":"సేవ్ చేయబడిన ఏజెంట్‌లు.ఎండి","settings.personalization.agents.title":"అనుకూల సూచనలు","settings.personalization.personality.description":"Codex ప్రతిస్పందనల కోసం డిఫాల్ట్ టోన్‌ను ఎంచుకోండి.","settings.personalization.personality.label":"వ్యక్తిత్వం","settings.sample.contentBody":"మీ సెట్టింగ్ ప్యానెల్‌లను స్థిరమైన అంతరంతో కంపోజ్ చేయడానికి ఈ లేఅవుట్‌ను ఉపయోగించండి.","settings.sample.contentTitle":"నమూనా కంటెంట్ బ్లాక్","settings.section.account":"ఖాతా","settings.section.agent":"ఆకృతీకరణ","settings.section.data-controls":"ఆర్కైవ్ చేయబడిన థ్రెడ్‌లు","settings.section.environments":"క్లౌడ్ పర్యావరణాలు","settings.section.external":"ఆల్ఫా సమయంలో మీ బ్రౌజర్‌లో తెరుచుకుంటుంది","settings.section.general-settings":"జనరల్","settings.section.git-settings":"గిట్","settings.section.local-environments":"పర్యావరణాలు","settings.section.mcp-settings":"MCP సర్వర్‌లు","settings.section.mcp-settings.docs":"పత్రాలు","settings.section.mcp-settings.subtitle":"Connect external tools and data sources.","settings.section.personalization":"వ్యక్తిగతీకరణ","settings.section.skills-settings":"నైపుణ్యాలు","settings.section.unavailable":"ప్రస్తుతానికి ఆల్ఫా వెర్షన్‌లో అందుబాటులో లేదు","settings.section.usage-analytics":"వినియోగం & విశ్లేషణలు","settings.section.worktrees":"Worktrees","settings.threadDetail.description":"థ్రెడ్‌లలో ఎంత కమాండ్ అవుట్‌పుట్‌ను చూపించాలో ఎంచుకోండి","settings.threadDetail.label":"థ్రెడ్ వివరం","settings.worktrees.conversation.untitled":"పేరులేని సంభాషణ","settings.worktrees.delete.error":"వర్క్‌ట్రీని తొలగించడంలో విఫలమైంది","settings.worktrees.empty.body":"Codex ద్వారా సృష్టించబడిన Worktreeలు ఇక్కడ కనిపిస్తాయి.","settings.worktrees.empty.title":"ఇంకా వర్క్‌ట్రీలు లేవు","settings.worktrees.error.body":"Worktreesలను లోడ్ చేస్తున్నప్పుడు ఏదో పొరపాటు జరిగింది.","settings.worktrees.error.retry":"మళ్లీ ప్రయత్నించండి","settings.worktrees.error.title":"వర్క్‌ట్రీలను లోడ్ చేయడంలో విఫలమైంది","settings.worktrees.loading.body":"వర్క్‌ట్రీ వివరాలను పొందుతోంది.","settings.worktrees.loading.title":"వర్క్‌ట్రీలను లోడ్ చేస్తోంది","settings.worktrees.repository.loading":"రిపోజిటరీ మెటాడేటాను లోడ్ చేస్తోంది…","settings.worktrees.repository.unknown":"తెలియని రిపోజిటరీ","settings.worktrees.row.conversations":"సంభాషణలు","settings.worktrees.row.conversations.empty":"ఈ వర్క్‌ట్రీకి సంబంధించిన సంభాషణలు ఏవీ లేవు.","settings.worktrees.row.conversations.loading":"సంభాషణలను లోడ్ చేస్తోంది...","settings.worktrees.row.delete":"తొలగించండి","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"కొత్త ప్రాజెక్ట్‌ను జోడించండి","sidebarElectron.archiveThread":"ఆర్కైవ్ థ్రెడ్","sidebarElectron.archiveThreadError":"Failed to archive thread","sidebarElectron.collapseFolder":"ఫోల్డర్‌ను కుదించండి","sidebarElectron.createStableWorktree.dialog.cancel":"రద్దు చేయండి","sidebarElectron.createStableWorktree.dialog.create":"సృష్టించండి","sidebarElectron.debugNavLink":"డీబగ్ చేయండి","sidebarElectron.editWorkspaceRootOptionName":"పేరును సవరించండి","sidebarElectron.expandFolder":"ఫోల్డర్‌ను విస్తరింపజేయండి","sidebarElectron.groupByMenu.recency":"కాలక్రమానుసార జాబితా","sidebarElectron.groupByMenu.title":"వ్యవస్థీకరించండి","sidebarElectron.groupByMenu.workspace":"ప్రాజెక్ట్ ద్వారా","sidebarElectron.inboxRouteNavLink":"ఆటోమేషన్‌లు","sidebarElectron.markThreadUnread":"చదవనిదిగా గుర్తు పెట్టుకొండి","sidebarElectron.missingWorkspaceRoot":"ఈ ప్రాజెక్ట్ ఫోల్డర్ తొలగించబడింది లేదా తరలించబడింది","sidebarElectron.newThread":"కొత్త థ్రెడ్","sidebarElectron.newThreadInGroup":"{folder}లో కొత్త థ్రెడ్ ప్రారంభించండి","sidebarElectron.noRecentThreads":"ఇటీవల ఎలాంటి థ్రెడ్‌లు లేవు","sidebarElectron.noTasks":"థ్రెడ్‌లు లేవు","sidebarElectron.noTasks.start":"కొత్త ప్రాజెక్ట్‌ను జోడించండి","sidebarElectron.noTasksWithFilter":"ఫిల్టర్‌లకు సరిపోయే థ్రెడ్‌లు ఏవీ లేవు","sidebarElectron.pinnedThreads":"పిన్ చేయబడిన థ్రెడ్‌లు","sidebarElectron.recentNavLink":"థ్రెడ్‌లు","sidebarElectron.recentThreads":"ఇటీవలి థ్రెడ్‌లు","sidebarElectron.removeWorkspaceRootOption":"తీసివేయండి","sidebarElectron.renameThread":"థ్రెడ్‌కు పేరు మార్చండి","sidebarElectron.renameThreadDialogAriaLabel":"థ్రెడ్ శీర్షిక","sidebarElectron.renameThreadDialogCancel":"రద్దు చేయండి","sidebarElectron.renameThreadDialogPlaceholder":"శీర్షికను జోడించండి…","sidebarElectron.renameThreadDialogSave":"సేవ్ చేయండి","sidebarElectron.renameThreadDialogSubtitle":"దాన్ని చిన్నగా మరియు గుర్తించదగినదిగా ఉంచండి.","sidebarElectron.renameThreadDialogTitle":"థ్రెడ్‌కు పేరు మార్చండి","sidebarElectron.renameThreadError":"థ్రెడ్‌ను పేరు మార్చడంలో విఫలమైంది","sidebarElectron.renameWorkspaceRootOptionLabel":"ప్రదర్శన పేరు","sidebarElectron.showLess":"తక్కువ చూపించు","sidebarElectron.showMenu.all":"అన్ని థ్రెడ్‌లు","sidebarElectron.showMenu.relevant":"సంబంధిత","sidebarElectron.showMenu.relevantHint":"Only show recent threads for the current branch, worktrees, or other threads that need your attention","sidebarElectron.showMenu.title":"చూపించు","sidebarElectron.showMenu.tooltip":"థ్రెడ్‌లను ఫిల్టర్ చేయండి, క్రమబద్ధీకరించండి మరియు నిర్వహించండి","sidebarElectron.showMenu.trigger":"సైడ్‌బార్ థ్రెడ్‌లను ఫిల్టర్ చేయండి","sidebarElectron.showMore":"ఎక్కువ చూపించు","sidebarElectron.skillsRouteNavLink":"నైపుణ్యాలు","sidebarElectron.sortMenu.created":"సృష్టించబడింది","sidebarElectron.sortMenu.title":"ద్వారా క్రమబద్ధీకరించండి","sidebarElectron.sortMenu.updated":"అప్‌డేట్ చేయబడింది","sidebarElectron.taskNavigation":"ఆటోమేషన్ ఫోల్డర్‌లు","sidebarElectron.tasksInFolder":"{folder}లో ఆటోమేషన్","sidebarElectron.workspaceOptions":"ప్రాజెక్ట్ చర్యలు {folder} కోసం","sidebarElectron.worktreeGroupTooltip":"ఇది ఒక గిట్ Worktree.","skills.appsPage.createSkill":"కొత్త నైపుణ్యం","skills.appsPage.empty.skills":"నైపుణ్యాలు ఏవీ కనుగొనబడలేదు","skills.appsPage.search.skills":"శోధన నైపుణ్యాలు","skills.appsPage.search.skills.label":"శోధన నైపుణ్యాలు","skills.appsPage.section.installedApps":"ఇన్‌స్టాల్ చేయడం జరిగింది","skills.appsPage.section.skills":"నైపుణ్యాలు","skills.appsPage.subheading":"Codex సూపర్ పవర్స్ ఇవ్వండి. <link>మరింత తెలుసుకోండి</link>","skills.appsPage.tab.recommended":"సిఫార్సు చేయబడింది","skills.appsPage.tab.skills":"నైపుణ్యాలు","skills.card.contentsError":"నైపుణ్య విషయాలను లోడ్ చేయలేకపోయాము.","skills.card.disable":"డిసేబుల్ చేయండి","skills.card.disableSuccess":"{skillName} నైపుణ్యం ప్రారంభించబడింది","skills.card.disabledBadge":"డిసేబుల్ చేయబడింది","skills.card.enable":"ఎనేబుల్ చేయి","skills.card.enableSuccess":"{skillName} నైపుణ్యం ప్రారంభించబడింది","skills.card.loadingContents":"నైపుణ్య కంటెంట్‌లను లోడ్ చేస్తోంది...","skills.card.more":"మరిన్ని చర్యలు","skills.card.open":"తెరవండి","skills.card.removeFailed":"నైపుణ్యాన్ని అన్‌ఇన్‌స్టాల్ చేయడంలో విఫలమైంది","skills.card.removeSuccess":"{skillName} నైపుణ్యం అన్‌ఇన్‌స్టాల్ చేయబడింది","skills.card.toggleEnabledError":"నైపుణ్యాన్ని నవీకరించడంలో విఫలమైంది","skills.card.try":"ప్రయత్నించండి","skills.card.trySkill":"నైపుణ్యాన్ని ప్రయత్నించండి","skills.card.uninstall":"అన్‌ఇన్‌స్టాల్ చేయండి","skills.hero.dotLabel":"{index}వ స్లయిడ్‌కు వెళ్లండి","skills.hero.next":"తదుపరి ప్రత్యేక నైపుణ్యం","skills.hero.trySkill":"నైపుణ్యాన్ని ప్రయత్నించండి","skills.page.createSkill":"కొత్త నైపుణ్యం","skills.page.empty":"నైపుణ్యాలు ఏవీ కనుగొనబడలేదు","skills.page.filteredEmpty":"మీ ఫిల్టర్‌లకు సరిపోలే అంశాలు ఏవీ లేవు","skills.page.filteredEmptyDescription":"మీ శోధన లేదా స్కోప్ ఫిల్టర్‌లను సర్దుబాటు చేయడానికి ప్రయత్నించండి","skills.page.heading":"నైపుణ్యాలు","skills.page.loading":"నైపుణ్యాలను లోడ్ చేస్తోంది...","skills.page.refreshSkills":"రిఫ్రెష్ చేయండి","skills.page.refreshSkillsToUseNew":"కొత్త నైపుణ్యాలను ఉపయోగించడానికి రిఫ్రెష్ చేయండి)","skills.page.search":"శోధన నైపుణ్యాలు","skills.page.search.label":"శోధన నైపుణ్యాలు","skills.page.subheading":"Codex సూపర్ పవర్స్ ఇవ్వండి. <link>మరింత తెలుసుకోండి</link>","skills.preview.copyPrompt":"ప్రాంప్ట్‌ను కాపీ చేయండి","skills.preview.examplePrompt":"ప్రాంప్ట్ ఉదాహరణ","skills.recommended.error":"సిఫార్సు చేయబడిన నైపుణ్యాలను లోడ్ చేయడం సాధ్యం కాలేదు","skills.recommended.install":"ఇన్‌స్టాల్ చేయండి","skills.recommended.installSkill":"నైపుణ్యాన్ని ఇన్‌స్టాల్ చేయండి","skills.recommended.installSuccess":"{skillName} నైపుణ్యం ఇన్‌స్టాల్ చేయబడింది","skills.recommended.installed":"ఇన్‌స్టాల్ చేయడం జరిగింది","skills.scope.admin":"అడ్మిన్","skills.scope.adminInstalled":"నిర్వాహకుడు ఇన్‌స్టాల్ చేయబడ్డారు","skills.scope.builtIn":"వ్యవస్థ","skills.scope.personal":"వ్యక్తిగతం","skills.scope.repo":"రెపో","skills.scope.system":"వ్యవస్థ","skills.scope.team":"జట్టు","skills.scope.user":"వినియోగదారు","skills.section.installed":"ఇన్‌స్టాల్ చేయడం జరిగింది","skills.section.recommended":"సిఫార్సు చేయబడింది","story.slidingToggle.existing":"ప్రస్తుతం ఉన్న","story.slidingToggle.fromLocal":"స్థానిక నుండి","story.slidingToggle.new":"కొత్తది","story.slidingToggle.toLocal":"స్థానికులకు","terminal.close":"టెర్మినల్‌ను మూసివేయండి","terminal.title":"టర్మినల్","thinkingShimmer.default":"ఆలోచిస్తోంది","threadEnvIcon.cloudTooltip":"ఈ సంభాషణ కోడెక్స్ క్లౌడ్‌లో జరుగుతోంది.","threadEnvIcon.localTooltip":"ఈ సంభాషణ స్థానికంగా జరుగుతోంది.","threadEnvIcon.worktreeTooltip":"ఈ సంభాషణ స్థానిక గిట్ వర్క్‌ట్రీలో జరుగుతోంది.","threadHeader.archiveConfirmCancel":"రద్దు చేయండి","threadHeader.archiveConfirmConfirm":"ఆర్కైవ్","threadHeader.archiveConfirmSubtitle":"మీరు దానిని తర్వాత మీ ఆర్కైవ్ చేయబడిన థ్రెడ్స్‌లో కనుగొనవచ్చు.","threadHeader.archiveConfirmTitle":"థ్రెడ్‌ను ఆర్కైవ్ చేయాలా?","threadHeader.copyAppLink":"డీప్‌లింక్‌ను కాపీ చేయండి","threadHeader.copySessionId":"సెషన్ IDని కాపీ చేయి","threadHeader.copyWorkingDirectory":"పని చేసే డైరెక్టరీని కాపీ చేయండి","threadHeader.forkIntoLocal":"స్థానికంగా ఫోర్క్ చేయండి","threadHeader.forkIntoWorktree":"కొత్త వర్క్‌ట్రీలోకి ఫోర్క్ చేయండి","threadHeader.forkPendingWorktreePrompt":"ఈ సంభాషణను కొత్త వర్క్‌ట్రీలోకి మార్చండి.","threadHeader.forkPendingWorktreeTitle":"ఫోర్క్డ్ సంభాషణ","threadHeader.forkThreadError":"థ్రెడ్‌ను ఫోర్క్ చేయడం విఫలమైంది","threadHeader.forkThreadRequiresGitRepo":"కొత్త వర్క్‌ట్రీలోకి ఫోర్క్ చేయడానికి జిట్ రిపోజిటరీ అవసరం.","threadHeader.moreActions":"థ్రెడ్ కార్యాలు","threadPage.newThread":"కొత్త థ్రెడ్","threadPage.runAction.changeEnvironment":"Change environment","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} చర్యలు","threadPage.runAction.environmentSelector.label":"Choose environment","threadPage.runAction.label":"రన్ చేయి","threadPage.runAction.missing.label":"రన్ యాక్షన్‌ను సెటప్ చేయండి","threadPage.runAction.setup.commandLabel":"నడపడానికి ఆదేశం","threadPage.runAction.setup.description":"Codexకి డిపెండెన్సీలను ఎలా ఇన్‌స్టాల్ చేయాలో మరియు మీ యాప్‌ను ఎలా ప్రారంభించాలో చెప్పండి.","threadPage.runAction.setup.editMore":"పర్యావరణ సెట్టింగ్‌లు","threadPage.runAction.setup.placeholder":"ఉదా: npm install npm run","threadPage.runAction.setup.submit":"సేవ్ చేసి అమలు చేయండి","threadPage.runAction.setup.title":"రన్ చేయి","threadPage.runAction.tooltip.withEnvironment":"{environmentName} చర్యలు","threadPage.toggleDiffPanel":"తేడా ప్యానెల్‌ను టోగుల్ చేయండి","threadPage.toggleTerminal":"టెర్మినల్‌ను టోగుల్ చేయండి","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"ఫోల్డర్‌ను తెరవండి","toolSummaryForCmd.exploredFiles":"<verb>జాబితా చేయబడిన</verb> ఫైల్‌లు","toolSummaryForCmd.exploredFilesInPath":"{path}లో <verb>జాబితా చేయబడిన</verb> ఫైల్‌లు","toolSummaryForCmd.exploringFiles":"ఫైల్‌లను <verb>జాబితా చేస్తోంది</verb>","toolSummaryForCmd.exploringFilesInPath":"{path}లో ఫైళ్ళను <verb>జాబితా చేస్తోంది</verb>","toolSummaryForCmd.ranGenericCommand":"<status>కమాండ్ అమలు చేయబడింది</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ran</status> {command}{timer}","toolSummaryForCmd.read":"{path}ను <verb>చదవండి</verb>","toolSummaryForCmd.runningGenericCommand":"<status>కమాండ్‌ను అమలు చేస్తోంది</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} కోసం","toolSummaryForCmd.searchedFor":"{query} కోసం <verb>శోధించబడింది</verb>","toolSummaryForCmd.searchedForFiles":"ఫైల్‌ల కోసం <verb>శోధించారు</verb>","toolSummaryForCmd.searchedForInPath":"{path}లో {query} కోసం <verb>శోధించారు</verb>","toolSummaryForCmd.searchingFor":"{query} కోసం <verb>వెతుకుతోంది</verb>","toolSummaryForCmd.searchingForFiles":"ఫైల్‌ల కోసం <verb>శోధిస్తోంది</verb>","toolSummaryForCmd.searchingForInPath":"{path}లో {query} కోసం <verb>శోధించారు</verb>","traceRecording.details.noteLabel":"ఈ సంఘటన జరిగినప్పుడు మీరు ఏమి చేస్తున్నారు? (ఐచ్ఛికం)","traceRecording.details.notePlaceholder":"ఒక పెద్ద థ్రెడ్‌కు వెళ్ళాను, ఆపై పదేపదే ట్యాబ్‌లను మార్చాను...","traceRecording.details.submit":"ట్రేస్‌ను పంపండి","traceRecording.details.subtitle":"పనితీరు సమస్యలను నిర్ధారించడంలో సహాయపడటానికి మేము ఈ ప్రొఫైల్ ట్రేస్‌ను పంపగలము.","traceRecording.details.title":"ప్రొఫైల్ ట్రేస్‌ను పంపాలా?","traceRecording.progress.subtitle":"ఈ ప్రక్రియ పూర్తయ్యే వరకు Codexను తెరిచి ఉంచండి.","traceRecording.saving.title":"ట్రేస్ సేవ్ చేస్తోంది...","traceRecording.startDetails.cancel":"రద్దు చేయండి","traceRecording.startDetails.submit":"సరే, రికార్డింగ్ ప్రారంభించండి","traceRecording.startDetails.subtitle":"మీరు 'సరే'పై క్లిక్ చేసిన తర్వాత, పనితీరు సమస్యను మళ్లీ సృష్టించండి, ఆపై ట్రేస్‌ను ఆపి, సమీక్షించడానికి ఫ్లోటింగ్ ఎరుపు సూచికపై క్లిక్ చేయండి.","traceRecording.startDetails.title":"ట్రేస్ రికార్డింగ్ ఎలా పనిచేస్తుంది","traceRecording.stopButton.ariaLabel":"ట్రేస్ రికార్డింగ్‌ను ఆపివేయండి","traceRecording.upload.successToast":"ప్రొఫైల్ ట్రేస్ పంపబడింది.","traceRecording.uploading.title":"ట్రేస్ అప్‌లోడ్ చేస్తోంది…","wham.diff.addComment":"కామెంట్ؚను జోడించు","wham.diff.binaryFile":"బైనరీ ఫైల్ చూపబడలేదు","wham.diff.noContent":"కంటెంట్ లేదు","wham.fileTag.deleted":"తొలగించబడింది","wham.fileTag.new":"కొత్తది","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}గంటలు","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}నిమిషాలు","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}mo","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}w","wham.formattedRelativeDateTime.compactYearsAgo":"{value}y","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"మీ టాస్క్‌ పై పనిచేస్తోంది","wham.whamProposedTask.title":"సూచించబడిన టాస్క్‌","wham.whamProposedTask.useSuggestion":"సూచనను ఉపయోగించండి","workspaceRootDialog.addError":"ప్రాజెక్ట్‌ను జోడించడంలో విఫలమైంది","workspaceRootDialog.cancel":"రద్దు చేయండి","workspaceRootDialog.confirmAdd":"ప్రాజెక్ట్‌ను జోడించండి","workspaceRootDialog.confirmPick":"ప్రాజెక్ట్‌ను ఉపయోగించండి","workspaceRootDialog.description":"ప్రాజెక్ట్‌గా ఉపయోగించడానికి {host}వ నంబర్‌పై ఒక మార్గాన్ని నమోదు చేయండి.","workspaceRootDialog.pathLabel":"ప్రాజెక్ట్ మార్గం","workspaceRootDialog.pathPlaceholder":"/హోమ్/మీరు/ప్రాజెక్ట్","workspaceRootDialog.title.add":"ప్రాజెక్ట్ మార్గాన్ని జోడించండి","workspaceRootDialog.title.pick":"ప్రాజెక్ట్ మార్గాన్ని ఎంచుకోండి","worktreeInitV2.cancel":"రద్దు చేయండి","worktreeInitV2.notification.failedTitle":"వర్క్‌ట్రీ సెటప్ విఫలమైంది","worktreeInitV2.output.empty":"అవుట్‌పుట్ కోసం వేచి ఉంది...","worktreeInitV2.status.error":"వర్క్‌ట్రీ సెటప్ విఫలమైంది.","worktreeInitV2.status.running":"వర్క్‌ట్రీని సృష్టించి, సెటప్‌ను అమలు చేయడం.","worktreeInitV2.status.runningFork":"ఈ సంభాషణను ఫోర్క్ చేయడానికి వర్క్‌ట్రీని సృష్టిస్తోంది.","worktreeInitV2.status.success":"వర్క్‌ట్రీ సిద్ధంగా ఉంది.","worktreeInitV2.title":"Worktree సృష్టిస్తోంది","worktreeInitV2.workLocallyInstead":"బదులుగా స్థానికంగా పని చేయండి","worktreeRestoreBanner.body":"డిస్క్ స్థలాన్ని ఆదా చేయడానికి ఈ థ్రెడ్ యొక్క వర్క్‌ట్రీ తొలగించబడింది","worktreeRestoreBanner.missing.body":"ఈ థ్రెడ్ యొక్క వర్కింగ్ డైరెక్టరీ ఇప్పుడు ఉనికిలో లేదు","worktreeRestoreBanner.missing.title":"ప్రస్తుతం పనిచేస్తున్న డైరెక్టరీ లేదు","worktreeRestoreBanner.restore.error":"Failed to restore worktree: {message}","worktreeRestoreBanner.restore.success":"Worktree restored","worktreeRestoreBanner.restoreCta":"Restore worktree","worktreeRestoreBanner.title":"Worktree cleaned up"};Object.assign(e,globalThis.codexI18nOverrides?.["te-IN"]);export{e as default};
 //# sourceMappingURL=te-IN-DG2lonQ5.js.map
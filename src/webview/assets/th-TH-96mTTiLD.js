@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"คัดลอก","app.sidebar.hide":"ซ่อนไซด์บาร์","app.sidebar.show":"แสดงไซด์บาร์","app.sidebar.tooltip":"สลับเปิดปิดไซด์บาร์","appHeader.installUpdate":"อัปเดต","appSunset.body":"ไม่รองรับแอปเวอร์ชันนี้อีกต่อไป โปรดดาวน์โหลดเวอร์ชันล่าสุด<here>ที่นี่</here>","appSunset.title":"จำเป็นต้องอัปเดต","automation.updateDirective.create":"สร้าง","automation.updateDirective.open":"เปิด","automation.updateDirective.untitled":"ระบบอัตโนมัติที่ไม่มีชื่อ","automation.updateDirective.update":"อัปเดต","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {ความพยายาม # ครั้ง}}","cloudTaskRow.archiveError":"เก็บถาวรงานไม่สำเร็จ","code.diff.requestChange":"ขอการเปลี่ยนแปลง","code.diffComment.cancel":"ยกเลิก","code.diffComment.comment":"ความคิดเห็น","code.diffComment.delete":"ลบ","code.diffComment.save":"บันทึก","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"ไม่มีการรายงานผลลัพธ์","codex.alert.closeAriaLabel":"ปิด","codex.appUpsellBanner.cbpApi.message":"สร้างได้เร็วขึ้นด้วยแอป Codex ดาวน์โหลดตอนนี้หรือ{learnMoreLink}","codex.appUpsellBanner.download":"ดาวน์โหลด","codex.appUpsellBanner.freeGo.message":"Codex รวมอยู่ในบริการของคุณจนถึงวันที่ 2 มีนาคม ลองใช้แอป Codex เพื่อการสร้างที่เร็วขึ้น","codex.appUpsellBanner.later":"ไว้ทีหลัง","codex.appUpsellBanner.learnMoreLowercase":"เรียนรู้เพิ่มเติม","codex.appUpsellBanner.new":"ใหม่","codex.appUpsellBanner.proPlusBusiness.message":"ลองใช้แอป Codex พร้อมขีดจำกัดอัตรา 2 เท่าจนถึงวันที่ 2 เมษายน ดาวน์โหลดตอนนี้หรือ{learnMoreLink}","codex.appUpsellBanner.title":"แอป Codex","codex.applyDropdown.header.changes":"การเปลี่ยนแปลง","codex.applyDropdown.header.fileCount":"{count, plural, other {# ไฟล์}}","codex.applyDropdown.header.rows":"แถว","codex.applyDropdown.header.title":"นำการเปลี่ยนแปลงไปใช้","codex.applyDropdown.header.workspace":"โครงการ","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} ไฟล์ที่ขัดแย้งกัน:}}","codex.applyDropdown.results.empty":"ไม่มีการคัดลอกไฟล์ใดๆ","codex.applyDropdown.results.skipped":"{count, plural, other {{count} ไฟล์ที่ข้าม:}}","codex.applyOrRevertBanner.apply":"ใช้","codex.applyOrRevertBanner.applyMessage":"จะใช้การเปลี่ยนแปลงแล้วดำเนินการต่อภายในใช่หรือไม่","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"งานนี้ถูกสร้างขึ้นใน {environment} จึงอาจไม่สามารถนำไปใช้ได้อย่างสมบูรณ์","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"การเปลี่ยนแปลงทำขึ้นใน {environment} จึงอาจไม่สามารถนำไปใช้ได้อย่างสมบูรณ์","codex.applyOrRevertBanner.reapply":"ใช้อีกครั้ง","codex.applyOrRevertBanner.revert":"ย้อนกลับ","codex.applyOrRevertBanner.revertMessage":"จะยกเลิกการเปลี่ยนแปลงที่ทำไปแล้วใช่หรือไม่","codex.applyResultsDialog.applied":"นำไปใช้อย่างสมบูรณ์ ({count})","codex.applyResultsDialog.close":"ปิด","codex.applyResultsDialog.conflicted":"ขัดแย้งกัน ({count})","codex.applyResultsDialog.noDetails":"ไม่มีรายละเอียดไฟล์","codex.applyResultsDialog.skipped":"ข้ามแล้ว ({count})","codex.applyResultsDialog.title":"ใช้ผลลัพธ์","codex.archiveInfo":"ดูแชตที่เก็บถาวรใน {dataControlsLink}","codex.archiveInfo.dataControlsLink":"การควบคุมข้อมูล","codex.archiveInfo.electron":"ดูแชตที่เก็บถาวรใน {settingsLink}","codex.archiveInfo.extension":"ดูแชตที่เก็บถาวรในโฟลเดอร์ .codex","codex.archiveInfo.settingsLink":"การตั้งค่า","codex.banner.content.description":"รันงานแบบคู่ขนาน ติดตามความคืบหน้าจากทุกที่ และตรวจสอบ PR ด้วย AI","codex.banner.content.headline":"Codex ทำได้ทั้งหมด","codex.cloudTaskRow.archiveTask":"เก็บถาวรงาน","codex.cloudTaskRow.confirmArchiveTask":"ยืนยัน","codex.command.feedback":"ข้อเสนอแนะ","codex.command.findInThread":"ค้นหา","codex.command.forceReloadSkills":"บังคับโหลดทักษะซ้ำ","codex.command.logOut":"ลงชื่อออก","codex.command.manageTasks":"จัดการงาน","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"ย้อนกลับ","codex.command.navigateForward":"ไปข้างหน้า","codex.command.newThread":"เธรดใหม่","codex.command.nextThread":"เธรดถัดไป","codex.command.openFolder":"เปิดโฟลเดอร์","codex.command.openSkills":"ไปที่ทักษะ","codex.command.openThreadOverlay":"เปิดหน้าต่างเธรด","codex.command.personalitySettings":"บุคลิก","codex.command.previousThread":"เธรดก่อนหน้า","codex.command.settings":"การตั้งค่า","codex.command.toggleDiffPanel":"สลับหน้าต่างการเปรียบเทียบ","codex.command.toggleSidebar":"สลับเปิดปิดไซด์บาร์","codex.command.toggleTerminal":"สลับเทอร์มินัล","codex.commandGroup.app":"แอป","codex.commandGroup.configure":"กำหนดค่า","codex.commandGroup.navigation":"การนำทาง","codex.commandGroup.panels":"แผง","codex.commandGroup.skills":"ทักษะ","codex.commandGroup.thread":"เธรด","codex.commandGroup.workspace":"โครงการ","codex.commandMenu.noResults":"ไม่มีรายการที่ตรงกัน","codex.commandMenu.searchPlaceholder":"ค้นหาคำสั่ง","codex.commandMenu.suggestedGroup":"ที่แนะนำ","codex.commandMenu.switchWorkspace":"สลับโครงการ","codex.commandMenu.title":"เมนูคำสั่ง","codex.common.retry":"ลองใหม่","codex.composer.searchBranches":"ค้นหาสาขา","codex.dialog.basic.body":"นี่คือหน้าต่างข้อความแบบเรียบง่ายที่ใช้โค้ด Wrapper ของเราครอบ Radix Dialog ไว้","codex.dialog.basic.cancel":"ยกเลิก","codex.dialog.basic.confirm":"ยืนยัน","codex.dialog.basic.open":"เปิดหน้าต่างข้อความ","codex.dialog.basic.title":"ตัวอย่างหน้าต่างข้อความ","codex.dialog.long.close":"ปิด","codex.dialog.long.line":"บรรทัดแบบเลื่อนได้ {index} เพื่อแสดงเนื้อหาขนาดยาวในหน้าต่างข้อความ","codex.dialog.long.open":"เปิดหน้าต่างข้อความขนาดยาว","codex.dialog.long.title":"หน้าต่างแบบเนื้อหายาว","codex.dialog.unstyled.body":"เรื่องราวนี้แสดงถึงวิธีการควบคุมการจัดแต่งสไตล์เนื้อหาในหน้าต่างโต้ตอบอย่างเต็มที่โดยผู้ใช้","codex.dialog.unstyled.open":"เปิดหน้าต่างข้อความที่ไม่มีการจัดแต่งสไตล์","codex.dialog.unstyled.title":"เนื้อหาที่ไม่มีการจัดแต่งสไตล์","codex.diff.openInEditorPrompt.openButton":"เปิดในเครื่องมือแก้ไข","codex.diff.openInEditorPrompt.singleLine":"ไฟล์นี้มีขนาดใหญ่เกินกว่าที่จะแสดงที่นี่","codex.diffView.failedToDecodeBase64Diff":"ถอดรหัสเปรียบเทียบ base64 ไม่สำเร็จ","codex.diffView.filesChanged":"{fileCount, plural, other {# ไฟล์มีการเปลี่ยนแปลง}}","codex.diffView.imagePreviewAlt":"ตัวอย่างภาพ","codex.diffView.imagePreviewEmpty":"ไม่มีภาพ","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"ไม่มีข้อมูลเทียบความแตกต่าง","codex.diffView.pdfPreview.nextPage":"หน้าถัดไป","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"หน้าที่แล้ว","codex.diffView.pdfPreviewEmpty":"ไม่มีตัวอย่าง PDF","codex.diffView.pdfPreviewError":"ไม่สามารถเรนเดอร์ตัวอย่าง PDF","codex.diffView.richPreviewDisable":"ปิดการใช้งานการดูตัวอย่างแบบละเอียด","codex.diffView.richPreviewEnable":"เปิดการใช้งานการดูตัวอย่างแบบละเอียด","codex.diffView.richPreviewLoading":"กำลังโหลดตัวอย่าง...","codex.diffView.richPreviewToggle":"สลับเปิดปิดการดูตัวอย่างแบบละเอียด","codex.diffView.switchToUnified":"สลับเป็นการเปรียบเทียบความแตกต่างแบบรวม","codex.environmentSelector.noEnvironment":"ไม่มีสภาพแวดล้อม","codex.environments.environmentSettings":"การตั้งค่าสภาพแวดล้อม","codex.environments.learnMore":"เรียนรู้เพิ่มเติม","codex.environments.listError":"โหลดสภาพแวดล้อมไม่สำเร็จ","codex.environments.noEnvironmentsFound":"ไม่พบสภาพแวดล้อม","codex.environments.searchError":"ค้นหาสภาพแวดล้อมไม่สำเร็จ","codex.errorBoundary.genericError":"โอ๊ะ เกิดข้อผิดพลาดขึ้น","codex.errorBoundary.goHome":"ลองอีกครั้ง","codex.file.patch.missing":"ไม่สามารถสร้างแพตช์สำหรับไฟล์นี้","codex.gallery.automations.cwdLabel":"โครงการ","codex.gallery.automations.nameLabel":"ชื่อ","codex.gallery.automations.namePlaceholder":"สรุปงาน","codex.gallery.automations.promptLabel":"คำสั่ง","codex.gallery.automations.promptPlaceholder":"อธิบายสิ่งที่ Codex ควรทำ","codex.gallery.dialogs.automation.label":"หน้าต่างตั้งค่าการทำงานอัตโนมัติ","codex.gallery.dialogs.basic.body":"ใช้เค้าโครงนี้กับการยืนยันที่ตรงไปตรงมาหรือแบบฟอร์มสั้นๆ","codex.gallery.dialogs.basic.cancel":"ยกเลิก","codex.gallery.dialogs.basic.confirm":"ยืนยัน","codex.gallery.dialogs.basic.label":"หน้าต่างโต้ตอบพื้นฐาน","codex.gallery.dialogs.basic.title":"หน้าต่างโต้ตอบตัวอย่าง","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"อธิบายปัญหา","codex.gallery.dialogs.feedbackSubmission.bad":"ผลลัพธ์ไม่ดี","codex.gallery.dialogs.feedbackSubmission.bug":"บั๊ก","codex.gallery.dialogs.feedbackSubmission.good":"ผลลัพธ์ดี","codex.gallery.dialogs.feedbackSubmission.includeLogs":"ใส่บันทึกเซสชัน Codex ปัจจุบันไปด้วย","codex.gallery.dialogs.feedbackSubmission.label":"การส่งข้อเสนอแนะ","codex.gallery.dialogs.feedbackSubmission.other":"อื่นๆ","codex.gallery.dialogs.feedbackSubmission.placeholder":"อธิบายปัญหาที่นี่","codex.gallery.dialogs.feedbackSubmission.submit":"ส่ง","codex.gallery.dialogs.feedbackSubmission.title":"ข้อเสนอแนะ","codex.gallery.dialogs.feedbackSuccess.body":"อัปโหลดข้อเสนอแนะแล้ว หากปัญหายังคงอยู่ โปรดประเด็นบน GitHub หรือกล่าวถึง ID เธรดในประเด็นที่เปิดอยู่:","codex.gallery.dialogs.feedbackSuccess.dismiss":"เลิก","codex.gallery.dialogs.feedbackSuccess.label":"ส่งข้อเสนอแนะสำเร็จ","codex.gallery.dialogs.feedbackSuccess.title":"อัปโหลดข้อเสนอแนะแล้ว","codex.gallery.dialogs.gitApplyResults.applied":"นำไปใช้อย่างสมบูรณ์ (2)","codex.gallery.dialogs.gitApplyResults.close":"ปิด","codex.gallery.dialogs.gitApplyResults.conflicted":"ขัดแย้งกัน: (1)","codex.gallery.dialogs.gitApplyResults.label":"ใช้ผลลัพธ์","codex.gallery.dialogs.gitApplyResults.title":"ใช้ผลลัพธ์","codex.gallery.dialogs.gitPushError.body":"ดึงการเปลี่ยนแปลงล่าสุดหรือบังคับพุชหากแน่ใจว่าสามารถเขียนทับประวัติระยะไกลได้อย่างปลอดภัย","codex.gallery.dialogs.gitPushError.cancel":"ยกเลิก","codex.gallery.dialogs.gitPushError.force":"บังคับพุช","codex.gallery.dialogs.gitPushError.label":"ข้อผิดพลาดในการพุช","codex.gallery.dialogs.gitPushError.subtitle":"สาขาของคุณอยู่หลังสาขาต้นทาง/สาขาหลัก","codex.gallery.dialogs.gitPushError.title":"พุชการเปลี่ยนแปลงไม่สำเร็จ","codex.gallery.dialogs.gitRevert.cancel":"ยกเลิก","codex.gallery.dialogs.gitRevert.confirm":"ย้อนกลับ","codex.gallery.dialogs.gitRevert.label":"ย้อนกลับการเปลี่ยนแปลง","codex.gallery.dialogs.gitRevert.skip":"ไม่ต้องถามอีก","codex.gallery.dialogs.gitRevert.subtitle":"การดำเนินการจะลบการเปลี่ยนแปลงเหล่านี้ทั้งหมด","codex.gallery.dialogs.gitRevert.title":"ย้อนกลับการเปลี่ยนแปลงหรือไม่","codex.gallery.dialogs.longForm.label":"หน้าต่างโต้ตอบแบบฟอร์มขนาดยาว","codex.gallery.dialogs.proseModal.body":"สไตล์โมดัลนี้ใช้กับคำสั่งที่ยาว การเตรียมความพร้อม หรือบล็อกเนื้อหาที่มีองค์ประกอบหลากหลาย","codex.gallery.dialogs.proseModal.close":"ปิด","codex.gallery.dialogs.proseModal.subtitle":"แบ่งปันคำแนะนำแบบยาวหรือเอกสารที่นี่","codex.gallery.dialogs.proseModal.title":"โมดัลข้อความธรรมดา","codex.gallery.dialogs.submitBlocked.label":"การส่งถูกบล็อก","codex.gallery.dialogs.submitBlocked.message":"ไม่สามารถส่งข้อความของคุณได้เนื่องจากโครงการไม่สามารถใช้งานได้","codex.gallery.dialogs.submitBlocked.ok":"ตกลง","codex.gallery.dialogs.submitBlocked.title":"ไม่สามารถส่งข้อความได้","codex.gallery.dialogs.title":"หน้าต่างโต้ตอบ","codex.gallery.dropdown.filterPlaceholder":"กรองรายการ","codex.gallery.dropdowns.actionRow":"แถวการดำเนินการ","codex.gallery.dropdowns.actionRow.disabled":"การดำเนินการที่ถูกปิดการใช้งาน","codex.gallery.dropdowns.actionRow.primary":"การดำเนินการหลัก","codex.gallery.dropdowns.actionRow.secondary":"การกระทำรอง","codex.gallery.dropdowns.actionRow.trigger":"แสดงการดำเนินการ","codex.gallery.dropdowns.basic":"ดร็อปดาวน์พื้นฐาน","codex.gallery.dropdowns.basic.newFile":"ไฟล์ใหม่","codex.gallery.dropdowns.basic.newFolder":"โฟลเดอร์ใหม่","codex.gallery.dropdowns.basic.openSettings":"เปิดการตั้งค่า","codex.gallery.dropdowns.basic.title":"การดำเนินการแบบเร็ว","codex.gallery.dropdowns.basic.trigger":"เปิดเมนู","codex.gallery.dropdowns.basic.upload":"อัปโหลด","codex.gallery.dropdowns.panel":"พื้นผิวของแผง","codex.gallery.dropdowns.panel.apply":"ใช้","codex.gallery.dropdowns.panel.body":"ตรวจสอบการเปรียบเทียบและนำไปใช้กับโครงการของคุณ","codex.gallery.dropdowns.panel.preview":"ดูตัวอย่าง","codex.gallery.dropdowns.panel.title":"นำการเปลี่ยนแปลงไปใช้","codex.gallery.dropdowns.panel.trigger":"เปิดแผง","codex.gallery.dropdowns.search":"ดร็อปดาวน์ที่ค้นหาได้","codex.gallery.dropdowns.search.first":"ช่องอัลฟา","codex.gallery.dropdowns.search.second":"สาขาเบตา","codex.gallery.dropdowns.search.third":"เวอร์ชันเตรียมเผยแพร่","codex.gallery.dropdowns.search.trigger":"กรองรายการ","codex.gallery.dropdowns.submenu":"ดร็อปดาวน์แบบมีเมนูย่อย","codex.gallery.dropdowns.submenu.optionA":"โครงการอัลฟา","codex.gallery.dropdowns.submenu.optionB":"โครงการเบตา","codex.gallery.dropdowns.submenu.optionC":"โครงการแกมมา","codex.gallery.dropdowns.submenu.primary":"กำหนดเจ้าของ","codex.gallery.dropdowns.submenu.secondary":"ย้ายไปยัง","codex.gallery.dropdowns.submenu.tertiary":"เก็บถาวร","codex.gallery.dropdowns.submenu.trigger":"เลือกการกระทำ","codex.gallery.dropdowns.title":"ดร็อปดาวน์","codex.gallery.inbox.automations.close":"ปิด","codex.gallery.inbox.automations.popover.cardTitle":"จัดการระบบอัตโนมัติ","codex.gallery.inbox.automations.popover.dialogTitle":"จัดการระบบอัตโนมัติ","codex.header.settingsTooltip":"การตั้งค่า","codex.hunk.patch.error":"เตรียมไม่สำเร็จ","codex.hunk.patch.missing":"ไม่สามารถสร้างแพทช์สำหรับฮังก์นี้ได้","codex.hunk.patch.partialSuccess":"สำเร็จบางส่วน","codex.hunk.patch.revertError":"เลิกเตรียมไม่สำเร็จ","codex.hunk.patch.revertSuccess":"เลิกเตรียมสำเร็จแล้ว","codex.hunk.patch.success":"เตรียมสำเร็จแล้ว","codex.legal.autonomy.details":"หากต้องการข้อมูลเพิ่มเติม โปรดดู{link}","codex.legal.autonomy.details.link":"เอกสาร Codex","codex.legal.autonomy.title":"ตัดสินใจว่าคุณจะให้สิทธิ์มากแค่ไหน","codex.legal.backButton":"ย้อนกลับ","codex.legal.cloud.taskOne.meta":"openai/agi · 12 ตุลาคม","codex.legal.cloud.taskOne.title":"อธิบายคลังทรัพยากรให้กับนักออกแบบรายใหม่","codex.legal.cloud.taskThree.meta":"openai/codex · 8 ตุลาคม","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"สร้างธีมในโหมดมืด","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 ตุลาคม","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"แก้ไขบั๊กของการเตรียมความพร้อม","codex.legal.continue.apikey":"ต่อไป","codex.legal.continueButton":"ถัดไป","codex.legal.copilot.details":"ใช้บริการ Copilot ของคุณสำหรับการเรียกใช้โมเดล การเรียกเก็บเงิน และอัตราจำกัดทั้งหมด ทั้งนี้การใช้ส่วนขยาย Codex ต้องเป็นไปตามทั้ง {oaiTos} และ {gitHubTos}","codex.legal.copilot.gitHubTosLink":"ข้อกำหนดการให้บริการของ GitHub","codex.legal.copilot.oaiTosLink":"ข้อกำหนดการให้บริการของ OpenAI Codex","codex.legal.copilot.title":"ขับเคลื่อนโดย GitHub Copilot","codex.legal.mistakes.review":"ตรวจสอบโค้ดที่เขียนและคำสั่งที่รัน","codex.legal.mistakes.title":"Codex อาจผิดพลาดได้","codex.legal.powered.details":"ใช้อัตราจำกัดตามบริการที่คุณใช้และ {link}","codex.legal.powered.details.link":"การตั้งค่าข้อมูลที่ใช้ฝึกสอน","codex.legal.powered.title":"ขับเคลื่อนโดยบัญชี ChatGPT ของคุณ","codex.legal.step.cloud.subtitle":"ส่งงานไปยัง Codex เพื่อรันในพื้นหลังเพื่อให้คุณจดจ่อกับสิ่งที่ทำอยู่และคืบหน้าเร็วขึ้น","codex.legal.step.cloud.title":"ส่งให้กับ Codex ในคลาวด์","codex.legal.step.intro.subtitle":"Codex จะนำทาง แก้ไข รันคำสั่ง และทำการทดสอบโดยตรงในคลังโค้ดของคุณ ขับเคลื่อนโดยบัญชี ChatGPT ของคุณ","codex.legal.step.intro.title":"Codex ใน IDE ของคุณ","codex.legal.step.todo.subtitle":"เขียนคอมเมนต์ TODO แล้วแปลงเป็นงาน Codex ในคลิกเดียว","codex.legal.step.todo.title":"เปลี่ยน TODO เป็นงาน Codex","codex.legal.todo.heading":"// TODO: นำ schema ไปใช้","codex.localConversation.closeImagePreview":"ปิดตัวอย่างภาพ","codex.localConversation.userImageAttachment":"ไฟล์แนบของผู้ใช้","codex.localTaskRow.archiveTask":"เก็บถาวรเธรด","codex.localTaskRow.awaitingApproval":"รอการอนุมัติ","codex.localTaskRow.awaitingResponse":"กำลังรอคำตอบ","codex.localTaskRow.confirmArchiveTask":"ยืนยัน","codex.loggedOut.apiKeyPrompt.cancel":"ยกเลิก","codex.loggedOut.apiKeyPrompt.confirm":"ตกลง","codex.loggedOut.apiKeyPrompt.getKey":"รับคีย์ API","codex.loggedOut.apiKeyPrompt.inputLabel":"ป้อนคีย์ API สำหรับ OpenAI ของคุณ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"ปิดการใช้งานงานบนคลาวด์ด้วยคีย์ API แล้ว","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"ปิดการใช้งานงานบนคลาวด์ด้วย Copilot และคีย์ API แล้ว","codex.loggedOut.signIn":"ลงชื่อเข้าใช้ด้วย ChatGPT","codex.loggedOut.signIn.cancel":"ยกเลิกการลงชื่อเข้าใช่","codex.loggedOut.signInWithCopilot":"ลงชื่อเข้าใช้ด้วย GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"ใช้คีย์ API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"เครื่องมือ {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"เรียกใช้แล้ว","codex.mcpTool.collapsedLabel.verb.calling":"กำลังเรียกใช้","codex.mcpTool.embeddedResource.contentLabel":"เนื้อหา","codex.mcpTool.embeddedResource.mimeTypeLabel":"ประเภท MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"เครื่องมือไม่ได้ส่งค่าข้อมูลกลับมา","codex.mcpTool.rawPayloadHeading":"เพย์โหลดการเรียกเครื่องมือ {tool} {server} ดิบ","codex.menu.recent":"ก่อนหน้านี้","codex.menu.seeAllHistory":"ดูประวัติทั้งหมด","codex.modelCapacityBanner.headline.noReset":"{modelName} ทำงานเต็มขีดความสามารถแล้วในขณะนี้ โปรดลองอีกครั้งในภายหลัง หรือเริ่มบทสนทนาใหม่โดยใช้โมเดลอื่น","codex.modelCapacityBanner.headline.withReset":"{modelName} ทำงานเต็มขีดความสามารถแล้วในขณะนี้ โปรดลองอีกครั้งหลังจาก {resetDate} หรือเริ่มบทสนทนาใหม่โดยใช้โมเดลอื่น","codex.modelCapacityBanner.title":"โมเดลที่เลือกทำงานเต็มขีดความสามารถแล้ว","codex.patch.change.contentsDeleted":"ลบเนื้อหาแล้ว","codex.patch.change.created":"สร้างเมื่อ","codex.patch.change.created-file":"ไฟล์ที่สร้าง","codex.patch.change.creating":"กำลังสร้าง","codex.patch.change.deleted":"ลบแล้ว","codex.patch.change.deleted-file":"ไฟล์ที่ลบ","codex.patch.change.deleting":"กำลังลบ","codex.patch.change.edited":"แก้ไขแล้ว","codex.patch.change.edited-file":"ไฟล์ที่แก้ไข","codex.patch.change.editing":"กำลังแก้ไข","codex.patch.change.noChanges":"ไม่มีการเปลี่ยนแปลง","codex.patch.change.rejected-add":"ถูกปฏิเสธ","codex.patch.change.rejected-delete":"ถูกปฏิเสธ","codex.patch.change.rejected-edit":"ถูกปฏิเสธ","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} จาก {total} งานเสร็จสมบูรณ์แล้ว","codex.plan.todoListCreated":"สร้างรายการที่ต้องทำแล้วโดยมี {total} งาน","codex.profileDropdown.apiKeyAuth":"ลงชื่อเข้าใช้ด้วยคีย์ API แล้ว","codex.profileDropdown.codexSettings":"การตั้งค่า Codex","codex.profileDropdown.copilotAuth":"ลงชื่อเข้าใช้ด้วย Copilot แล้ว","codex.profileDropdown.defaultAccountTitle":"บัญชีเริ่มต้น","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter เพื่อส่งคำสั่งขนาดยาว","codex.profileDropdown.enterBehaviorError":"อัปเดตการตั้งค่าไม่สำเร็จ","codex.profileDropdown.getPlus":"อัปเกรดเพื่อขีดจำกัดที่สูงขึ้น","codex.profileDropdown.keyboardShortcuts":"แป้นพิมพ์ลัด","codex.profileDropdown.language":"ภาษา","codex.profileDropdown.languageDefault":"ตรวจจับอัตโนมัติ","codex.profileDropdown.languageSearchPlaceholder":"ค้นหาภาษา","codex.profileDropdown.languageUpdateError":"อัปเดตภาษาไม่สำเร็จ","codex.profileDropdown.logOut":"ลงชื่อออก","codex.profileDropdown.mcp":"การตั้งค่า MCP","codex.profileDropdown.openConfigToml":"เปิด config.toml","codex.profileDropdown.openConfigToml.wsl":"เปิด config.toml ในสภาพแวดล้อม WSL","codex.profileDropdown.openExtensionSettings":"เปิดการตั้งค่า","codex.profileDropdown.openMcpSettings":"เปิดการตั้งค่า MCP","codex.profileDropdown.openOnStartup":"เปิดเมื่อเริ่มต้น","codex.profileDropdown.openOnStartupError":"อัปเดตการตั้งค่าไม่สำเร็จ","codex.profileDropdown.openSkillsSettings":"เปิดการตั้งค่าทักษะ","codex.profileDropdown.personalAccountTitle":"บัญชีส่วนบุคคล","codex.profileDropdown.queueFollowUps":"เข้าคิวคำถามต่อเนื่อง","codex.profileDropdown.queueFollowUpsError":"อัปเดตการตั้งค่าไม่สำเร็จ","codex.profileDropdown.readDocs":"อ่านเอกสาร","codex.profileDropdown.readSkillsDocs":"อ่านเอกสาร","codex.profileDropdown.runInWsl":"รันใน WSL","codex.profileDropdown.runInWslError":"อัปเดตการตั้งค่าไม่สำเร็จ","codex.profileDropdown.runInWslTooltip":"รัน Codex ภายใน WSL แนะนำให้ทำเพื่อความปลอดภัยแซนด์บ็อกซ์ที่สูงขึ้นและประสิทธิภาพที่ดีขึ้น","codex.profileDropdown.settings":"การตั้งค่า IDE","codex.profileDropdown.settingsPage":"การตั้งค่า","codex.profileDropdown.signInWithOpenAI":"ลงชื่อเข้าใช้ด้วย ChatGPT","codex.profileDropdown.skills":"การตั้งค่าทักษะ","codex.profileDropdown.switchToCopilotAccount":"ใช้บัญชี Copilot","codex.profileDropdown.switchToOpenAIAccount":"ใช้บัญชี OpenAI","codex.profileDropdown.todoCodelens":"แก้ไขคอมเมนต์ TODO","codex.profileDropdown.todoCodelensError":"อัปเดตการตั้งค่าไม่สำเร็จ","codex.profileDropdown.windowsDocumentation":"เอกสาร Windows","codex.profileFooter.signedInFallback":"การตั้งค่า","codex.profileFooter.upgrade":"อัปเกรด","codex.recentTasksMenu.clearSearch":"ล้างการค้นหา","codex.recentTasksMenu.cloud":"งานบนคลาวด์","codex.recentTasksMenu.count":"{count, plural, =0 {ไม่มีงานที่กำลังดำเนินการ} other {# งานที่กำลังดำเนินการ}}","codex.recentTasksMenu.empty":"ยังไม่มีเธรด","codex.recentTasksMenu.errorCloud":"โหลดงานไม่สำเร็จ","codex.recentTasksMenu.errorCloud.inline":"โหลดงานบนคลาวด์ไม่สำเร็จ","codex.recentTasksMenu.filterAll":"ทั้งหมด","codex.recentTasksMenu.filterCloudTasks":"กรองงานบนคลาวด์","codex.recentTasksMenu.filterTooltip":"กรองงานตามสภาพแวดล้อม","codex.recentTasksMenu.local":"งานในเครื่อง","codex.recentTasksMenu.recent":"งานทั้งหมด","codex.recentTasksMenu.search":"ค้นหางานล่าสุด","codex.recentTasksMenu.searchEmpty":"ไม่มีผลลัพธ์","codex.recentTasksMenu.tooltip":"ประวัติงาน","codex.recentTasksMenu.trigger":"งานล่าสุด {count, plural, other {# กำลังดำเนินการ}}","codex.remoteConversation.applyDiff.applyCta":"นำการเปลี่ยนแปลงไปใช้","codex.remoteConversation.applyDiff.dropdownTitle":"นำการเปลี่ยนแปลงไปใช้กับสาขาในเครื่อง","codex.remoteConversation.applyDiff.revertCta":"ย้อนกลับการเปลี่ยนแปลง","codex.remoteConversation.closeImagePreview":"ปิดตัวอย่างภาพ","codex.remoteConversation.codexCloudTask":"คุณกำลังดูงาน<u>Codex บนคลาวด์</u>","codex.remoteConversation.errorWithMessage":"ข้อผิดพลาด: {message}","codex.remoteConversation.loadingImage":"กำลังโหลดภาพ","codex.remoteConversation.openInWeb":"เปิดในเว็บ","codex.remoteConversation.streaming":"กำลังเริ่มต้น","codex.remoteConversation.turnFailed":"เกิดข้อผิดพลาดขณะทำงานนี้","codex.remoteConversation.turnTab.loading":"ครั้งที่ {number}","codex.remoteConversation.turnTab.title":"ครั้งที่ {number}","codex.remoteConversation.userImageAttachment":"ไฟล์แนบของผู้ใช้","codex.remoteConversation.viewPreviousTurns":"เปิดในเว็บ","codex.remoteConversation.viewPreviousTurns.buttonText":"เปิด","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"เปิดในเว็บ","codex.review.copyGitApplyCommand":"คัดลอกคำสั่งการใช้ git","codex.review.copyGitApplyCommand.toast":"คัดลอกคำสั่งการใช้ git ไปที่คลิปบอร์ดแล้ว","codex.review.diffTooLarge.description":"การเปรียบเทียบมีขนาดใหญ่เกินกว่าที่จะแสดงในการดูตัวอย่าง","codex.review.diffTooLarge.title":"การเปรียบเทียบมีขนาดใหญ่เกินกว่าที่จะแสดง","codex.review.expandOrCollapseDiffButton.collapse":"ยุบการข้อมูลเปรียบเทียบทั้งหมด","codex.review.expandOrCollapseDiffButton.expand":"ขยายข้อมูลเปรียบเทียบทั้งหมด","codex.review.expandOrCollapseDiffMenu.collapse":"ยุบการข้อมูลเปรียบเทียบทั้งหมด","codex.review.expandOrCollapseDiffMenu.expand":"ขยายข้อมูลเปรียบเทียบทั้งหมด","codex.review.fileSearch.clear":"ล้างตัวกรองไฟล์","codex.review.fileSearch.empty":"ไม่มีไฟล์ที่ตรงกับตัวกรองปัจจุบัน","codex.review.fileSearch.label":"กรองไฟล์","codex.review.fileSearch.placeholder":"กรองไฟล์...","codex.review.filesChanged":"{num, plural, =0 {ไม่มีการเปลี่ยนแปลงไฟล์ใดๆ} other {# ไฟล์มีการเปลี่ยนแปลง}}","codex.review.find.loadMore":"โหลดรายการที่ตรงกันเพิ่มเติม","codex.review.fullReview.hideFileTree":"ซ่อนผังไฟล์","codex.review.fullReview.showFileTree":"แสดงผังไฟล์","codex.review.header.moreOptions":"ตัวเลือกการตรวจสอบ","codex.review.largeDiff.banner":"ตรวจพบการเปรียบเทียบขนาดใหญ่ ระบบจะแสดงทีละไฟล์","codex.review.loadFullFiles.disable":"อย่าโหลดไฟล์แบบเต็ม","codex.review.loadFullFiles.enable":"โหลดไฟล์แบบเต็ม","codex.review.noDiff":"การเปลี่ยนแปลงไฟล์จะปรากฏที่นี่","codex.review.noDiff.gitInit.createRepository":"สร้างคลังโค้ด git","codex.review.noDiff.gitInit.creating":"กำลังสร้าง...","codex.review.noDiff.gitInit.error":"Git init ที่ล้มเหลว: {message}","codex.review.noDiff.gitInit.success":"สร้างคลังโค้ด git แล้ว","codex.review.noDiff.gitRepoRequired.description":"ติดตามและยกเลิกการเปลี่ยนแปลงในโครงการนี้","codex.review.noDiff.gitRepoRequired.title":"สร้างคลังโค้ด git","codex.review.noDiff.orNoLongerAvailable":"หรือการเปรียบเทียบล่าสุดไม่พร้อมใช้งาน","codex.review.noDiff.reverted":"ย้อนกลับรอบสุดท้ายแล้ว","codex.review.noDiff.revertedOrCommitted":"ย้อนกลับหรือคอมมิตรอบสุดท้ายแล้ว","codex.review.refreshGitQueries":"รีเฟรช","codex.review.revert.file.error":"ย้อนกลับไม่สำเร็จ {path}","codex.review.revert.file.partialSuccess":"ย้อนกลับบางส่วน {path}","codex.review.revert.file.success":"ย้อนกลับ {path} แล้ว","codex.review.revert.hunk.error":"ย้อนกลับฮังก์ {hunkNumber} ใน {path} ไม่สำเร็จ","codex.review.revert.hunk.partialSuccess":"ย้อนกลับฮังก์ {hunkNumber} ใน {path} บางส่วน","codex.review.revert.hunk.success":"ย้อนกลับฮังก์ {hunkNumber} ใน {path} แล้ว","codex.review.revert.section.error":"ย้อนกลับส่วนไม่สำเร็จ","codex.review.revert.section.partialSuccess":"ย้อนกลับส่วนบางส่วน","codex.review.revert.section.success":"ย้อนกลับส่วนแล้ว","codex.review.revertDialog.cancel":"ยกเลิก","codex.review.revertDialog.confirm":"ยืนยัน","codex.review.revertDialog.message":"การกระทำจะลบการเปลี่ยนแปลงเหล่านี้ทั้งหมด","codex.review.revertDialog.skip":"ไม่ต้องถามอีก","codex.review.revertDialog.title":"ย้อนกลับการเปลี่ยนแปลงหรือไม่","codex.review.richPreview.disable":"ปิดการใช้งานการดูตัวอย่างแบบละเอียด","codex.review.richPreview.enable":"เปิดการใช้งานการดูตัวอย่างแบบละเอียด","codex.review.source.cloud":"การเปลี่ยนแปลงบนคลาวด์","codex.review.source.local.all":"การเปลี่ยนแปลงสาขาทั้งหมด","codex.review.source.local.lastTurn":"การเปลี่ยนแปลงรอบสุดท้าย","codex.review.source.local.uncommitted":"การเปลี่ยนแปลงที่ยังไม่คอมมิต","codex.review.source.worktree":"การเปลี่ยนแปลงเวิร์กทรีที่ไม่ได้คอมมิต","codex.review.stageFilter.empty.staged.description":"ยอมรับการแก้ไขเพื่อเตรียม","codex.review.stageFilter.empty.staged.title":"ไม่มีการเปลี่ยนแปลงที่เตรียมไว้","codex.review.stageFilter.empty.unstaged.description":"การเปลี่ยนแปลงโค้ดจะปรากฏที่นี่","codex.review.stageFilter.empty.unstaged.title":"ไม่มีการเปลี่ยนแปลงที่เลิกเตรียมแล้ว","codex.review.stageFilter.staged":"เตรียมไว้","codex.review.stageFilter.staged.count":"เตรียมไว้ · {count}","codex.review.stageFilter.unstaged":"เลิกเตรียมแล้ว","codex.review.stageFilter.unstaged.count":"เลิกเตรียมแล้ว · {count}","codex.review.switchToSplit":"เปลี่ยนเป็นการเปรียบเทียบที่แบ่งส่วน","codex.review.switchToUnified":"สลับเป็นการเปรียบเทียบความแตกต่างแบบรวม","codex.review.toggleDiffView":"สลับมุมมองการเปรียบเทียบ","codex.review.wordDiffs.disable":"ปิดการใช้งานการเปรียบเทียบคำ","codex.review.wordDiffs.enable":"เปิดการใช้งานการเปรียบเทียบคำ","codex.review.wrap.disable":"ปิดการใช้งานการตัดบรรทัด","codex.review.wrap.enable":"เปิดการใช้งานการตัดบรรทัด","codex.section.patch.missing":"ไม่สามารถสร้างแพตช์สำหรับส่วนนี้ได้","codex.shell.collapse":"ยุบเชลล์","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"คัดลอกเนื้อหาเชลล์แล้ว","codex.shell.copy.copyTooltip":"คัดลอกเนื้อหาเชลล์","codex.shell.copyCommand":"คัดลอกคำสั่ง","codex.shell.copyOutput":"คัดลอกเอาต์พุต","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"ขยายเชลล์","codex.shell.name":"เชลล์","codex.shell.noOutput":"ไม่มีเอาต์พุต","codex.signInFailed.message":"ลงชื่อเข้าใช้ไม่สำเร็จ: {rawMessage}","codex.stories.toast.show":"แสดงข้อความแบบ Toast","codex.stories.tooltip.basic":"นี่คือข้อความอธิบาย","codex.stories.tooltip.hoverMe":"แตะที่นี่","codex.stories.tooltip.largerOffset":"ข้อความอธิบายมีมีระยะห่างจากองค์ประกอบมากขึ้น","codex.stories.tooltip.offsetButton":"ระยะห่างมากขึ้น","codex.stories.tooltip.shortcutButton":"พร้อมคีย์ลัด","codex.stories.tooltip.withShortcut":"สลับเทอร์มินัล","codex.taskRow.title":"เธรดใหม่","codex.taskRowLayout.confirm":"ยืนยัน","codex.threadFindBar.chatFilter":"ค้นหาแชต","codex.threadFindBar.close":"ปิดการค้นหา","codex.threadFindBar.diffFilter":"ค้นหาการเปรียบเทียบ","codex.threadFindBar.label":"ค้นหาในเธรด","codex.threadFindBar.nextResult":"ผลลัพธ์ถัดไป","codex.threadFindBar.noResults":"0 ผลลัพธ์","codex.threadFindBar.placeholder":"ค้นหาเธรด...","codex.threadFindBar.placeholder.extension":"ค้นหาเธรด...","codex.threadFindBar.placeholder.review":"ค้นหาการเปรียบเทียบ...","codex.threadFindBar.placeholder.review.extension":"ค้นหาการเปรียบเทียบ...","codex.threadFindBar.previousResult":"ผลลัพธ์ก่อนหน้า","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# ไฟล์มีการเปลี่ยนแปลง}}","codex.unifiedDiff.inlineLargeFile":"ใหญ่เกินไปที่จะเรนเดอร์อินไลน์","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"เลิกทำ","codex.unifiedDiff.revertPatchError":"ย้อนกลับการเปลี่ยนแปลงไม่สำเร็จ","codex.unifiedDiff.revertPatchSuccess":"ย้อนกลับการเปลี่ยนแปลงแล้ว","codex.unifiedDiff.reviewChangesSuffix":"การเปลี่ยนแปลง","codex.unifiedDiff.reviewShort":"พิจารณา","codex.unifiedDiff.viewDiffTooltip":"ตรวจสอบ","codex.upsellBanner.business.headline":"หากต้องการเข้าถึงได้มากขึ้นในตอนนี้ โปรดส่งคำขอไปยังผู้ดูแลของคุณ หรือรอจนถึง {resetDate}","codex.upsellBanner.cbp.headline":"หากต้องการเข้าถึงได้มากขึ้นในตอนนี้ โปรดส่งคำขอไปยังผู้ดูแลของคุณ","codex.upsellBanner.cta.addCredits":"เพิ่มเครดิต","codex.upsellBanner.cta.upgradeAccount":"อัปเกรด","codex.upsellBanner.cta.viewUsage":"ดูการใช้งาน","codex.upsellBanner.free.trialHeadline":"ขีดจำกัดของคุณจะรีเซ็ตในวันที่ {resetDate} หากต้องการใช้ Codex ต่อและเข้าถึง GPT-5.3-Codex โปรดเริ่มการทดลองใช้ Plus ฟรีเลยวันนี้ ","codex.upsellBanner.freeOrGo.headline":"ขีดจำกัดอัตราของคุณจะรีเซ็ตในวันที่ {resetDate} หากต้องการใช้ Codex ต่อ โปรดอัปเกรดเป็น Plus เลยวันนี้","codex.upsellBanner.general.headline":"ขีดจำกัดอัตราของคุณจะรีเซ็ตในวันที่ {resetDate}","codex.upsellBanner.general.title":"คุณใช้ข้อความ Codex จนหมดแล้ว","codex.upsellBanner.go.trialHeadline":"ขีดจำกัดของคุณจะรีเซ็ตในวันที่ {resetDate} หากต้องการใช้ Codex ต่อ โปรดเริ่มการทดลองใช้ Plus ฟรีเลยวันนี้ ","codex.upsellBanner.plus.headline":"ขีดจำกัดอัตราของคุณจะรีเซ็ตในวันที่ {resetDate} หากต้องการใช้ Codex ต่อ โปรดเพิ่มเครดิตหรืออัปเกรดเป็น Pro เลยวันนี้","codex.upsellBanner.pro.headline":"ขีดจำกัดอัตราของคุณจะรีเซ็ตในวันที่ {resetDate} โปรดเพิ่มเครดิตเพื่อใช้ Codex ต่อ","codex.userMessage.autoResolveSync":"แก้ไขความขัดแย้งโดยอัตโนมัติ","codex.userMessage.commentCount":"{count, plural, other {# ความคิดเห็น}}","codex.userMessage.copiedAriaLabel":"คัดลอกแล้ว","codex.userMessage.copiedTooltip":"คัดลอกแล้ว","codex.userMessage.copyAriaLabel":"คัดลอกข้อความ","codex.userMessage.copyTooltip":"คัดลอก","codex.userMessage.implementPlan":"นำแผนไปใช้","codex.userMessage.noContent":"(ไม่มีเนื้อหา)","codex.userMessage.priorConversation":"อ้างอิงบทสนทนาก่อนหน้า","codex.userMessage.reviewMode":"โหมดตรวจสอบ","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"สำหรับ {query}","codex.webSearch.summary.verb.completed":"ค้นหาบนเว็บแล้ว","codex.webSearch.summary.verb.inProgress":"กำลังค้นหาบนเว็บ","codex.windowsInstallWslBanner.dismiss":"เลิก","codex.windowsInstallWslBanner.installWslCta":"เปิดการใช้งานแซนด์บ็อกซ์","codex.windowsInstallWslBanner.learnMore":"เรียนรู้เพิ่มเติม","codex.windowsSandboxBanner.content":"โหมดเอเจนต์ใช้แซนด์บ็อกซ์เชิงทดลองบน Windows เพื่อจำกัดการเข้าถึงระบบไฟล์และเครือข่าย {sandboxLink}","codex.windowsSandboxBanner.title":"เปิดการใช้งานแซนด์บ็อกซ์สำหรับโหมดเอเจนต์","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"การตั้งค่า Windows","codexUpgradeModal.body":"โมเดลเขียนโค้ดโดยเอเจนต์ระดับแนวหน้าล่าสุดของเรา ที่ทั้งฉลาดขึ้น เร็วขึ้น และมีความสามารถในการทำงานเชิงเทคนิคทั่วไปได้มากขึ้น {link}","codexUpgradeModal.close":"ปิด","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"เรียนรู้เพิ่มเติม","codexUpgradeModal.title":"ขอแนะนำ GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"ลองใช้ GPT-5.3-Codex ตอนนี้","codexUpgradeModal.useExistingModel":"ดำเนินการต่อด้วยโมเดลปัจจุบัน","commentAttachments.numComments":"{count, plural, other {# ความคิดเห็น}}","commentAttachments.removeAriaLabel":"ลบไฟล์แนบความคิดเห็น","common.close":"ปิด","composer.addContext.openFilePickerError":"ไม่สามารถเปิดตัวเลือกไฟล์","composer.addContextDropdown.ariaLabel":"เพิ่มไฟล์และอื่นๆ","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"เพิ่มไฟล์และอื่นๆ","composer.addPhotosAndFiles":"เพิ่มรูปภาพและไฟล์","composer.atMentionList.emptyQuery":"พิมพ์เพื่อค้นหาไฟล์","composer.atMentionList.loading":"กำลังค้นหา...","composer.atMentionList.noResults":"ไม่มีผลลัพธ์","composer.attemptsSelector.option":"{count, plural, other {# เวอร์ชัน}}","composer.attemptsSelector.tooltip":"จำนวนความพยายามแบบขนานที่ Codex สามารถทำได้","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"หยุด","composer.cloudFollowUp.cloud":"คลาวด์","composer.cloudFollowUp.local":"ในเครื่อง","composer.cloudFollowUp.whereRun":"งานต่อไปควรรันที่ไหน","composer.cloudTaskCreationError":"เกิดข้อผิดพลาดในการสร้างงานบนคลาวด์","composer.cloudTaskError":"เกิดข้อผิดพลาดในการสร้างงาน","composer.contextWindow.autoCompactionTooltipLine1":"Codex จะบีบอัดบริบทโดยอัตโนมัติ","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"ปริมาณบริบท:","composer.contextWindowUsageStatusFull":"เต็ม {usage}%","composer.contextWindowUsageStatusLeft":"ใช้แล้ว {usage}% (เหลือ {remaining}%)","composer.contextWindowUsageTooltip":"ใช้แล้ว {usedTokens}k / {contextWindow}k token","composer.customCliTooltip":"การใช้ไฟล์ปฏิบัติการ CLI ที่กำหนดเอง","composer.dictation.aria":"เขียนตามคำบอก","composer.dictation.cancel.aria":"หยุดเขียนตามคำบอก","composer.dictation.cancel.tooltip":"หยุดเขียนตามคำบอก","composer.dictation.startError":"ไม่สามารถเริ่มเขียนตามคำบอก","composer.dictation.submit.aria":"ถอดเสียงและส่ง","composer.dictation.submit.tooltip":"ถอดเสียงและส่ง","composer.dictation.tooltip":"กดค้างเพื่อเขียนตามคำบอก","composer.dictation.transcribeError":"ไม่สามารถถอดเสียงได้","composer.dictation.unsupported":"การเขียนตามคำบอกไม่มีให้บริการในอุปกรณ์นี้","composer.dropOverlay.holdShift":"กด {key} ค้างเพื่อปล่อย","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"สร้างใหม่","composer.environmentSelector.error":"เกิดข้อผิดพลาดขณะโหลดสภาพแวดล้อม","composer.environmentSelector.goBack":"กลับไปที่ตัวสร้าง","composer.environmentSelector.title":"เลือกสภาพแวดล้อม","composer.environmentSelector.tooltip":"เลือกสภาพแวดล้อมคลาวด์","composer.feedbackSlashCommand.title":"ข้อเสนอแนะ","composer.filePicker.selectFile":"เลือกไฟล์","composer.filePicker.selectFiles":"เลือกไฟล์","composer.followerTooltip":"หากต้องการแชตต่อ โปรดกลับไปยังหน้าต่างที่เริ่มต้นบทสนทนานี้","composer.footer.branchSwitch.checkoutError":"สลับสาขาไม่สำเร็จ: {message}","composer.footer.branchSwitch.createAndCheckout":"สร้างและเช็คเอาท์สาขาใหม่...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"คอมมิตการเปลี่ยนแปลงเพื่อสร้างและเช็คเอาท์สาขาใหม่","composer.footer.branchSwitch.createBranchError":"สร้างสาขาไม่สำเร็จ: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ชื่อสาขา","composer.footer.branchSwitch.createDialog.branchExistsError":"มีสาขาอยู่แล้ว","composer.footer.branchSwitch.createDialog.close":"ปิด","composer.footer.branchSwitch.createDialog.createAndCheckout":"สร้างและเช็คเอาท์","composer.footer.branchSwitch.createDialog.placeholder":"สาขาใหม่","composer.footer.branchSwitch.createDialog.title":"สร้างและเช็คเอาท์สาขา","composer.footer.branchSwitch.createDialog.trailingSlashError":"ชื่อสาขาต้องไม่ลงท้ายด้วย “/”","composer.footer.branchSwitch.tooltip":"สลับสาขา","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"คอมมิตการเปลี่ยนแปลงใน {fileCount, plural, other {# ไฟล์}} เพื่อเช็คเอาท์ {branchName}","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"คอมมิต","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"การเปลี่ยนแปลงใน {fileCount, plural, other {# ไฟล์}} เพื่อเช็คเอาท์ {branchName}","composer.footer.branchSwitch.uncommittedDialog.cancel":"ยกเลิก","composer.footer.branchSwitch.uncommittedDialog.commit":"คอมมิตและสลับสาขา...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"การเปลี่ยนแปลงของคุณในไฟล์ต่อไปนี้จะถูกเขียนทับเมื่อทำการเช็คเอาท์","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"โปรดคอมมิตการเปลี่ยนแปลงของคุณเพื่อดำเนินการต่อ","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ในสาขาที่เลือก","composer.footer.branchSwitch.uncommittedDialog.title":"คอมมิตการเปลี่ยนแปลงเพื่อสลับสาขา","composer.footer.branchSwitch.uncommittedSummaryPrefix":"ไม่ได้คอมมิต: {fileCount, plural, other {# ไฟล์}}","composer.forkSlashCommand.description":"ฟอร์กเธรดนี้เข้าไปในเวิร์กทรีใหม่หรือเวิร์กทรีในเครื่อง","composer.forkSlashCommand.option.local.description":"ทำต่อในเธรดในเครื่องเธรดใหม่","composer.forkSlashCommand.option.local.title":"ฟอร์กเข้าไปในเครื่อง","composer.forkSlashCommand.option.worktree.description":"ทำต่อในเวิร์กทรีใหม่","composer.forkSlashCommand.option.worktree.title":"ฟอร์กเข้าไปในเวิร์กทรีใหม่","composer.forkSlashCommand.title":"ฟอร์ก","composer.ideContextIndicator":"บริบท IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"รวมบริบทจาก IDE","composer.ideContextIndicator.tooltipToggle":"เพื่อสลับ","composer.ideContextSlashCommand.disableDescription":"ปิดใช้บริบท IDE","composer.ideContextSlashCommand.enableDescription":"รวมการเลือกปัจจุบัน ไฟล์ที่เปิดอยู่ และบริบทอื่นๆ จาก IDE ของคุณ","composer.ideContextSlashCommand.title":"บริบท IDE","composer.imageInputsUnsupported":"โมเดลนี้ไม่รองรับอินพุตภาพ โปรดลองใช้โมเดลอื่น","composer.imageUploadFailed":"อัปโหลดภาพไม่สำเร็จ","composer.includeIdeContextDropdown":"รวมบริบท IDE","composer.includeIdeContextDropdown.ariaLabel":"รวมบริบท IDE","composer.localCwdDropdown.addWorkspaceRoot":"เพิ่มโครงการใหม่","composer.localCwdDropdown.noActiveRoot":"เลือกโครงการ","composer.localCwdDropdown.noResults":"ไม่พบโฟลเดอร์","composer.localCwdDropdown.title":"เลือกโครงการ","composer.localTaskError":"เกิดข้อผิดพลาดขณะเริ่มบทสนทนา","composer.mcpSlashCommand.description":"แสดงสถานะเซิร์ฟเวอร์ MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ไม่ได้พิสูจน์ตัวตน","composer.mcpStatus.authOauth":"พิสูจน์ตัวตนแล้ว (OAuth)","composer.mcpStatus.authToken":"พิสูจน์ตัวตนแล้ว (คีย์ API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"ปิด","composer.mcpStatus.disabled":"ปิดการใช้งานอยู่","composer.mcpStatus.emptyLabel":"เซิร์ฟเวอร์:","composer.mcpStatus.emptyValue":"ไม่มีเซิร์ฟเวอร์ MCP ที่กำหนดค่าไว้","composer.mcpStatus.enabled":"เปิดการใช้งาน","composer.mcpStatus.errorLabel":"สถานะ:","composer.mcpStatus.errorValue":"ไม่สามารถโหลดสถานะ MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"เอเจนต์","composer.mode.agentMode.auto.dropdownLabel":"เอเจนต์","composer.mode.agentMode.auto.optionLabel":"เอเจนต์","composer.mode.agentMode.changePermission":"เปลี่ยนโหมด","composer.mode.agentMode.custom":"กำหนดเอง","composer.mode.agentMode.custom.dropdownLabel":"กำหนดเอง","composer.mode.agentMode.custom.option":"กำหนดเอง (config.toml)","composer.mode.agentMode.custom.optionLabel":"กำหนดเอง (config.toml)","composer.mode.agentMode.customInfo.cancel":"ยกเลิก","composer.mode.agentMode.customInfo.cli":"คุณสามารถปรับการตั้งค่าเหล่านั้นจาก CLI หรือด้วยการแก้ไขไฟล์โดยตรง","composer.mode.agentMode.customInfo.confirm":"ใช้โหมดกำหนดเอง","composer.mode.agentMode.customInfo.description":"โหมดกำหนดเองจะใช้นโยบายการอนุมัติและแซนด์บ็อกซ์ที่กำหนดไว้ในไฟล์<link>config.toml</link> ของคุณ","composer.mode.agentMode.customInfo.docs":"เรียนรู้เพิ่มเติมเกี่ยวกับการกำหนดค่านโยบายการอนุมัติและแซนด์บ็อกซ์ใน<link>เอกสารสภาพแวดล้อมการดำเนินการ</link>.","composer.mode.agentMode.customInfo.refresh":"การเปลี่ยนแปลงใดๆ จะมีผลในครั้งถัดไปที่เอเจนต์รัน","composer.mode.agentMode.customInfo.title":"โหมดกำหนดเองทำงานอย่างไร","composer.mode.agentMode.fullAccess":"เอเจนต์ (สิทธิ์เข้าถึงเต็มรูปแบบ)","composer.mode.agentMode.fullAccess.dropdownLabel":"เอเจนต์ (สิทธิ์เข้าถึงเต็มรูปแบบ)","composer.mode.agentMode.fullAccess.optionLabel":"เอเจนต์ (สิทธิ์เข้าถึงเต็มรูปแบบ)","composer.mode.agentMode.fullAccessConfirm.caution":"ใช้ความระมัดระวังเมื่อให้สิทธิ์เข้าถึงเต็มรูปแบบ เนื่องจากจะเพิ่มความเสี่ยงอย่างยิ่งต่อการสูญเสียข้อมูล ข้อมูลรั่วไหล หรือพฤติกรรมที่ไม่คาดคิด","composer.mode.agentMode.fullAccessConfirm.confirm":"ใช่ ดำเนินการต่อเลย","composer.mode.agentMode.fullAccessConfirm.description":"เมื่อ Codex รันโดยมีสิทธิ์เข้าถึงเต็มรูปแบบ ก็จะสามารถแก้ไขไฟล์ใดก็ตามในคอมพิวเตอร์ของคุณและรันคำสั่งกับเครือข่ายได้โดยที่คุณไม่ต้องอนุมัติ","composer.mode.agentMode.fullAccessConfirm.goBack":"ยกเลิก","composer.mode.agentMode.fullAccessConfirm.title":"จะให้สิทธิ์เข้าถึงเต็มรูปแบบใช่หรือไม่","composer.mode.agentMode.readOnly":"แชต","composer.mode.agentMode.readOnly.dropdownLabel":"แชต","composer.mode.agentMode.readOnly.optionLabel":"แชต","composer.mode.agentMode.tooltip":"เปลี่ยนโหมด","composer.mode.agentMode.tooltip.auto":"อ่านและแก้ไขไฟล์ และรันคำสั่ง","composer.mode.agentMode.tooltip.custom":"ใช้นโยบายการอนุมัติและแซนด์บ็อกซ์ล่าสุดที่กำหนดไว้ใน config.toml","composer.mode.agentMode.tooltip.fullAccess":"Codex สามารถแก้ไขไฟล์ที่อยู่นอกโครงการและรันคอมมานด์ด้วยการเข้าถึงเครือข่ายได้ โปรดใช้อย่างระมัดระวัง","composer.mode.agentMode.tooltip.readOnly":"ต้องได้รับอนุมัติให้แก้ไขไฟล์และรันคำสั่ง","composer.mode.cloud.tooltip":"ทำงานในสภาพแวดล้อมคลาวด์","composer.mode.contactAdmin":"หากต้องการรับสิทธิ์เข้าถึงเพิ่มเติม โปรดติดต่อผู้ดูแลระบบของคุณ","composer.mode.local":"ในเครื่อง","composer.mode.local.learnMore":"เรียนรู้เพิ่มเติม","composer.mode.local.model.custom":"กำหนดเอง","composer.mode.local.model.loadingModel":"กำลังโหลดโมเดล","composer.mode.local.model.selecrReasoningEffort":"เลือกการให้เหตุผล","composer.mode.local.model.selectModel":"เลือกโมเดล","composer.mode.local.model.tooltip":"เลือกโมเดล","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"สูง","composer.mode.local.reasoning.low.label":"ต่ำ","composer.mode.local.reasoning.medium.label":"ปานกลาง","composer.mode.local.reasoning.minimal.label":"ขั้นต่ำ","composer.mode.local.reasoning.none.label":"ไม่มี","composer.mode.local.reasoning.xhigh.label":"สูงเป็นพิเศษ","composer.mode.localRemoteWhereRun":"เลือกสถานที่ที่จะรันงาน","composer.mode.newTask.header":"ดำเนินการใน","composer.mode.rateLimit.day":"{days} วัน","composer.mode.rateLimit.heading":"อัตราจำกัดที่เหลือ","composer.mode.rateLimit.hour":"{hours} ชม.","composer.mode.rateLimit.minute":"{minutes} นาที","composer.mode.rateLimit.modelSectionLabel":"ขีดจำกัด {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {ขีดจำกัด {weeks} สัปดาห์}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} สัปดาห์}}","composer.mode.remote.connectToCloud":"เชื่อมต่อเว็บ Codex","composer.mode.remote.connectToCloudDisabledTooltip":"ตั้งค่าสภาพแวดล้อมผ่านเว็บ Codex เพื่อเปิดใช้งานการส่งงานไปยังคลาวด์","composer.mode.remote.selectEnvironment":"เลือกสภาพแวดล้อม","composer.mode.remote.sendToCloud":"ส่งไปยังคลาวด์","composer.mode.remote.setupViaWeb":"ตั้งค่าสภาพแวดล้อมผ่านเว็บ Codex","composer.mode.runInCloud":"คลาวด์","composer.mode.runInCloudWithEnvironment":"คลาวด์ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ทำงานในสภาพแวดล้อมคลาวด์","composer.mode.segmentedToggle.local.tooltip":"ทำงานในโครงการในเครื่องของคุณ","composer.mode.segmentedToggle.worktree.tooltip":"ทำงานในเวิร์กทรีคู่ขนาน","composer.mode.upgradeToPlus":"อัปเกรดเป็น Plus","composer.mode.upgradeToPro":"อัปเกรดเป็น Pro","composer.mode.workLocally":"โครงการในเครื่อง","composer.mode.workLocally.currentBranchFallback":"สาขาของคุณ","composer.mode.workLocally.tooltip":"ทำงานบน {branchName}","composer.mode.worktree":"เวิร์กทรีใหม่","composer.mode.worktree.submoduleWarning":"คลังโค้ดนี้มีโมดูลย่อย git อาจสร้างเวิร์กทรีไม่สำเร็จ","composer.mode.worktree.tooltip":"สร้างสำเนาโครงการในเครื่องเพื่อทำงานแบบขนาน","composer.mode.worktreeSegment":"เวิร์กทรี","composer.modelChangeDuringConversationWarning.toast":"การเปลี่ยนโมเดลขณะกำลังสนทนาจะทำให้ประสิทธิภาพลดลง","composer.newChat.heading.browser":"จะเขียนโค้ดอะไรต่อดี","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex ใช้สิทธิ์ที่กำหนดไว้ใน config.toml","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex มีสิทธิ์เข้าถึงคอมพิวเตอร์ของคุณเต็มรูปแบบ (ความเสี่ยงสูง)","composer.permissionsDropdown.custom.label":"กำหนดเอง (config.toml)","composer.permissionsDropdown.custom.optionLabel":"กำหนดเอง (config.toml)","composer.permissionsDropdown.default.label":"สิทธิ์เริ่มต้น","composer.permissionsDropdown.default.optionLabel":"สิทธิ์เริ่มต้น","composer.permissionsDropdown.default.tooltip":"Codex จะรันคอมมานด์ในแซนด์บ็อกซ์โดยอัตโนมัติ","composer.permissionsDropdown.disabled.requirements":"สิทธิ์ถูกล็อกโดย requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"สิทธิเข้าถึงเต็มรูปแบบถูกปิดการใช้งานโดย requirements.toml","composer.permissionsDropdown.fullAccess.label":"สิทธิ์เข้าถึงเต็มรูปแบบ","composer.permissionsDropdown.fullAccess.optionLabel":"สิทธิ์เข้าถึงเต็มรูปแบบ","composer.permissionsDropdown.trigger.tooltip":"เปลี่ยนสิทธิ์","composer.personalitySlashCommand.description.friendly":"อบอุ่น ร่วมมือ และเป็นประโยชน์","composer.personalitySlashCommand.description.pragmatic":"กระชับ เน้นที่งาน และตรงประเด็น","composer.personalitySlashCommand.label.friendly":"เป็นมิตร","composer.personalitySlashCommand.label.pragmatic":"เน้นการปฏิบัติ","composer.personalitySlashCommand.notApplicableSuffix":"(ไม่มีผลกับโมเดลปัจจุบัน)","composer.personalitySlashCommand.title":"บุคลิก","composer.placeholder.cloudFollowUp.directFollowUp":"สิ่งต่อเนื่องกับงานบนคลาวด์นี้","composer.placeholder.cloudFollowUp.local":"สร้างงานใหม่ในเครื่องที่อ้างอิงงานบนคลาวด์นี้","composer.placeholder.cloudFollowUp.workingTree":"สร้างงานใหม่บนคลาวด์ที่มีโค้ดปัจจุบันของคุณและจะอ้างอิงงานนี้","composer.placeholder.localFollowUp.cloud":"สิ่งต่อเนื่องในงานใหม่บนคลาวด์","composer.placeholder.localFollowUp.locally":"ขอการเปลี่ยนแปลงต่อเนื่อง","composer.placeholder.newTask.cloud":"ขอให้ Codex ทำอะไรก็ได้ในคลาวด์","composer.placeholder.newTask.doAnything":"ขอให้ Codex ทำอะไรก็ได้","composer.placeholder.newTask.locally":"ถาม Codex อะไรก็ได้, @ เพื่อเพิ่มไฟล์, / เพื่อสั่งการ","composer.planModeDropdown":"โหมดวางแผน","composer.planModeDropdown.ariaLabel":"โหมดวางแผน","composer.planModeIndicator":"บริการ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"สร้างแผนด้วย Codex","composer.planModeIndicator.tooltipToggle":"เพื่อสลับ","composer.planSlashCommand.disableDescription":"ปิดโหมดวางแผน","composer.planSlashCommand.enableDescription":"เปิดโหมดวางแผน","composer.planSlashCommand.title":"โหมดวางแผน","composer.priorContext.label":"บริบทก่อนหน้า","composer.priorContext.removeAriaLabel":"ลบบริบทก่อนหน้า","composer.queuedMessage.delete":"ลบข้อความในคิว","composer.queuedMessage.edit":"แก้ไขข้อความ","composer.queuedMessage.more":"การดำเนินการกับกับข้อความในคิว","composer.queuedMessage.sendNow":"ควบคุมการทำงาน","composer.queuedMessage.sendNowTooltip":"ส่งตอนนี้โดยไม่รบกวนงาน","composer.queuedMessage.turnOff":"ปิดการเข้าคิว","composer.reasoningEffort.local.reasoning.tooltip":"เลือกระดับการให้เหตุผล","composer.remote.branchStartingPoint":"งานนี้ควรเริ่มจากสาขาใด","composer.remote.branchesSectionHeading":"สาขา","composer.remote.currentEditsSuffix.followUp":"สร้างงานใหม่ที่อ้างอิงงานบนคลาวด์นี้","composer.remote.currentEditsSuffix.useLocal":"มีการแก้ไขโค้ดในเครื่อง","composer.remote.directFollowUp":"ไม่ใช้การแก้ไขในเครื่อง","composer.remote.errorLoadingBranches":"เกิดข้อผิดพลาดในการโหลดสาขา","composer.remote.fromBranch":"จาก {branch}","composer.remote.fromCurrentBranch":"จาก {branch} (ปัจจุบัน)","composer.remote.loadingMoreBranches":"กำลังโหลด...","composer.remote.localFileStateHeading":"สถานะไฟล์ในเครื่อง","composer.remote.localWorkingTree":"ใช้การเปลี่ยนแปลงในเครื่อง","composer.remote.startingPoint":"งานนี้ควรเริ่มจากโค้ดใด","composer.reviewMode.branches.error":"ไม่สามารถโหลดสาขา","composer.reviewMode.branches.retry":"ลองใหม่","composer.reviewMode.gitRoot.error":"ไม่พบรูท Git","composer.reviewMode.option.baseBranch.simple":"ตรวจสอบโดยเทียบกับสาขาพื้นฐาน","composer.reviewMode.option.unstaged.simple":"ทบทวนการเปลี่ยนแปลงที่ยังไม่คอมมิต","composer.reviewMode.quickReviewError":"เริ่มการตรวจสอบโค้ดไม่สำเร็จ","composer.reviewMode.title":"การตรวจสอบโค้ด","composer.sandboxButton.unlock.disabled.tooltip":"สิทธิเข้าถึงเต็มรูปแบบถูกปิดการใช้งานโดย requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex สามารถใช้แซนด์บ็อกซ์เชิงทดลองบน Windows เพื่อจำกัดการเข้าถึงระบบไฟล์และเครือข่าย {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"เปิดใช้แซนด์บ็อกซ์ Windows หรือไม่","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"ใช้อ่านเท่านั้น","composer.searchEnvironments":"ค้นหาสภาพแวดล้อม","composer.skillMentionList.app":"แอป","composer.skillMentionList.loading":"กำลังโหลดทักษะ...","composer.skillMentionList.noResults":"ไม่พบทักษะ","composer.slashCommands.cloudEnvironment.title":"สภาพแวดล้อมคลาวด์","composer.slashCommands.dialogLabel":"เมนูคำสั่งเครื่องหมายทับ","composer.slashCommands.dialogTitle":"คำสั่งเครื่องหมายทับ","composer.slashCommands.disabledTooltip":"เริ่มบทสนทนาใหม่เพื่อใช้คำสั่งเครื่องหมายทับ","composer.slashCommands.inputPlaceholder":"ค้นหา","composer.slashCommands.noResults":"ไม่มีคำสั่ง","composer.slashCommands.skillsGroup":"ทักษะ","composer.slashCommands.tooltip":"เลือกดูคำสั่งเครื่องหมายทับ","composer.status.close":"ปิด","composer.statusPlain.alertLabel":"การแจ้งเตือน:","composer.statusPlain.alertValue":"เหลือ {remaining}% ใน {window}","composer.statusPlain.contextLabel":"บริบท:","composer.statusPlain.contextTotal":"{count} พัน","composer.statusPlain.contextValueMetadata":"(ใช้แล้ว {used} / {total})","composer.statusPlain.contextValueRemaining":"เหลืออีก {remaining}%","composer.statusPlain.heading":"สถานะ","composer.statusPlain.modelRateLimitSectionLabel":"ขีดจำกัด {modelName}:","composer.statusPlain.rateLimitDays":"จำกัด {count} วัน","composer.statusPlain.rateLimitFallbackLabel":"ขีดจำกัดอัตรา:","composer.statusPlain.rateLimitHours":"จำกัด {count} ชั่วโมง","composer.statusPlain.rateLimitLabelBase":"ขีดจำกัดอัตรา","composer.statusPlain.rateLimitMinutes":"จำกัด {count} นาที","composer.statusPlain.rateLimitPercent":"เหลืออีก {remaining}%","composer.statusPlain.rateLimitReset":"รีเซ็ต {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"รีเซ็ตเวลาไม่สามารถใช้งานได้","composer.statusPlain.rateLimitUnavailable":"ไม่สามารถใช้งานได้","composer.statusPlain.sessionCopiedAriaLabel":"ID เซสชันที่คัดลอก","composer.statusPlain.sessionCopiedTooltip":"ID ที่คัดลอก","composer.statusPlain.sessionCopyAriaLabel":"คัดลอก ID เซสชัน","composer.statusPlain.sessionCopyTooltip":"คัดลอก ID","composer.statusPlain.sessionLabel":"เซสชัน:","composer.statusSlashCommand.description":"แสดง ID เธรด, การใช้บริบท และขีดจำกัดอัตรา","composer.statusSlashCommand.title":"สถานะ","composer.submit.blockedDialogOk":"ตกลง","composer.submit.blockedDialogTitle":"ไม่สามารถส่งข้อความได้","composer.submit.emptyMessage":"ป้อนข้อความเพื่อเริ่มต้นใช้งาน","composer.submit.imageInputsUnsupported":"ลบภาพหรือเปลี่ยนโมเดลเพื่อส่งข้อความนี้","composer.submit.loadingLocalConfig":"กำลังโหลด...","composer.submit.missingCloudConfig":"คุณต้องเลือกสภาพแวดล้อมคลาวด์","composer.submit.missingCloudTurn":"ไม่สามารถติดตามงานนี้ได้","composer.submit.noWorkspace":"เพิ่มโครงการที่จะใช้ Codex","composer.submit.waitForImageUploads":"กำลังอัปโหลดภาพ...","composer.submitButtonTooltip.send":"ส่ง","composer.submitButtonTooltip.stop":"หยุด","composer.worktreeEnvironment.create":"สร้างสภาพแวดล้อมในเครื่อง","composer.worktreeEnvironment.default":"สภาพแวดล้อมเริ่มต้น","composer.worktreeEnvironment.error":"เกิดข้อผิดพลาดขณะโหลดสภาพแวดล้อม","composer.worktreeEnvironment.loading":"กำลังโหลดสภาพแวดล้อม…","composer.worktreeEnvironment.title":"สภาพแวดล้อมในเครื่อง","composer.worktreeEnvironment.tooltip":"เลือกสภาพแวดล้อมในเครื่อง","composer.worktreeSetupFailed":"ตั้งค่าเวิร์กทรีไม่สำเร็จ โปรดดูสคริปต์การตั้งค่าที่ .codex/environments","compoundButton.secondaryAction":"การกระทำรอง","copyButton.copied":"คัดลอกแล้ว","copyButton.copiedAriaLabel":"คัดลอกแล้ว","copyButton.copy":"คัดลอก","copyButton.copyAriaLabel":"คัดลอก","copyButton.copyCode":"คัดลอกรหัส","diff.actionButton.revertFile":"ย้อนกลับไฟล์","diff.actionButton.revertHunk":"ย้อนกลับ","diff.actionButton.revertSection":"ย้อนกลับทั้งหมด","diff.actionButton.revertSectionLabel":"ย้อนกลับทั้งหมด","diff.actionButton.stageFile":"เตรียมไฟล์","diff.actionButton.stageHunk":"เตรียม","diff.actionButton.stageSection":"เตรียมทั้งหมด","diff.actionButton.stageSectionLabel":"เตรียมทั้งหมด","diff.actionButton.unstageFile":"เลิกเตรียมไฟล์","diff.actionButton.unstageHunk":"เลิกเตรียม","diff.actionButton.unstageSection":"เลิกเตรียมทั้งหมด","diff.actionButton.unstageSectionLabel":"เลิกเตรียมทั้งหมด","diff.fileHeader.toggle":"สลับเปิดปิดการเปรียบเทียบไฟล์","electron.onboarding.login.apikey.cancel":"ยกเลิก","electron.onboarding.login.apikey.continue":"ต่อไป","electron.onboarding.login.apikey.label":"คีย์ API ของ OpenAI","electron.onboarding.login.apikey.open":"ป้อนคีย์ API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"ยกเลิกการลงชื่อเข้าใช่","electron.onboarding.login.chatgpt.continue":"ดำเนินการต่อด้วย ChatGPT","electron.onboarding.login.devbox":"เชื่อมต่อกับ SSH ระยะไกล","electron.onboarding.login.error":"ลงชื่อเข้าใช้ไม่สำเร็จ: {rawMessage}","electron.onboarding.login.snake.start":"เล่นเกมงู","electron.onboarding.login.sshConfig.cancel":"ยกเลิก","electron.onboarding.login.sshConfig.continue":"ต่อไป","electron.onboarding.login.sshConfig.hostnameLabel":"ชื่อโฮสต์ SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"วิธีที่ดีที่สุดในการสร้างด้วยเอเจนต์","electron.onboarding.login.title":"ขอต้อนรับสู่ Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"ต่อไป","electron.onboarding.welcome.doubleLimits.description":"เพื่อฉลองการเปิดตัวแอป Codex คุณจะได้รับขีดจำกัดอัตราเป็น 2 เท่าจนถึงวันที่ 2 เมษายน","electron.onboarding.welcome.freego.description":"Codex รวมอยู่ในบริการของคุณฟรีจนถึงวันที่ 2 มีนาคม มาเริ่มสร้างไปด้วยกัน","electron.onboarding.welcome.new.title.anon":"ยินดีต้อนรับ","electron.onboarding.workspace.continue":"ต่อไป","electron.onboarding.workspace.empty":"เพิ่มโครงการเพื่อดำเนินการต่อ","electron.onboarding.workspace.listLabel":"โครงการที่มีอยู่","electron.onboarding.workspace.loading":"กำลังโหลดโครงการ...","electron.onboarding.workspace.openFolder":"เพิ่มโครงการ","electron.onboarding.workspace.selectAll":"เลือกทั้งหมด","electron.onboarding.workspace.skip":"ข้าม","electron.onboarding.workspace.skip.error":"ไม่สามารถสร้างโครงการใหม่: {message}","electron.onboarding.workspace.skip.error.unknown":"ข้อผิดพลาดที่ไม่รู้จัก","electron.onboarding.workspace.skipping":"กำลังสร้างโครงการใหม่...","electron.onboarding.workspace.subtitle":"Codex จะสามารถแก้ไขไฟล์และรันคอมมานด์ในโฟลเดอร์ที่เลือกได้","electron.onboarding.workspace.title":"เลือกโครงการ","errorPage.list.checkSettings":"ลองอัปเดตการตั้งค่า IDE ของคุณ","errorPage.list.configToml":"ตรวจสอบ config.toml ของคุณเพื่อหาการตั้งค่าที่ไม่ถูกต้อง","errorPage.list.downloadExtension":"ลองดาวน์โหลดเวอร์ชันอื่นของส่วนขยายนี้","errorPage.list.runInWsl":"ตรวจสอบการตั้งค่าของคุณเพื่อปิดการใช้งานการรันใน WSL หากคุณพบปัญหาการใช้งานร่วมกันไม่ได้","execApprovalRequest.menu.runAlways":"ใช่ และอย่าถามอีกในเซสชันนี้","execApprovalRequest.menu.runAlwaysWithAmendment":"ใช่ และไม่ต้องถามอีกสำหรับคอมมานด์ที่ขึ้นต้นด้วย {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ใช่ และไม่ต้องถามอีกสำหรับคอมมานด์ที่ขึ้นต้นด้วย","execApprovalRequest.menu.runOnce":"ใช่","execApprovalRequest.prompt":"คุณต้องการรันคำสั่งนี้ใช่หรือไม่","execApprovalRequest.reject":"ไม่","execFooter.exitCode":"รหัสออก {code}","execFooter.exitCode.unknown":"ไม่รู้จัก","execFooter.success":"สำเร็จ","feedback.dialog.category.badResult":"ผลลัพธ์ไม่ดี","feedback.dialog.category.bug":"บั๊ก","feedback.dialog.category.goodResult":"ผลลัพธ์ดี","feedback.dialog.category.other":"อื่นๆ","feedback.dialog.descriptionPlaceholder":"อธิบายปัญหาที่นี่","feedback.dialog.dismiss":"เลิก","feedback.dialog.includeLogsLabel":"ใส่บันทึกเซสชัน Codex ปัจจุบันไปด้วย","feedback.dialog.submit":"ส่ง","feedback.dialog.submitError":"เราไม่สามารถส่งข้อเสนอแนะของคุณได้ โปรดลองอีกครั้งในอีกสักครู่","feedback.dialog.title":"ข้อเสนอแนะ","feedback.dialog.uploadedMessage.existingIssue":"ปัญหาที่เปิดอยู่ที่มีอยู่","feedback.dialog.uploadedMessage.openIssue":"เปิดปัญหาเกี่ยวกับ GitHub","feedback.dialog.uploadedMessage.withThread":"อัปโหลดข้อเสนอแนะแล้ว หากปัญหายังคงอยู่ โปรด {openIssueLink} หรือกล่าวถึง ID เธรดใน {existingIssueLink}:","feedback.dialog.uploadedTitle":"อัปโหลดข้อเสนอแนะแล้ว","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"ลบ {filename}","header.back":"ย้อนกลับ","header.recentChats":"งาน","header.recentTasks.seeAll":"ดูทั้งหมด ({total})","home.header.getPlus":"รับ Plus","home.hero.letsBuild":"มาสร้างกันเลย","homePage.mainContent":"เนื้อหาหลัก","imageAttachment.defaultName":"ภาพ","imageAttachment.preview.close":"ปิดตัวอย่างภาพ","imageAttachment.removeAriaLabel":"ลบ {filename}","implementPlanRequest.option.implement":"ใช่ นำแผนนี้ไปใช้","implementPlanRequest.prompt":"จะนำแผนนี้ไปใช้ใช่หรือไม่","inbox.archived.deleteError":"ไม่สามารถลบการรันที่เก็บถาวร","inbox.archived.deleteRun":"ลบการรันที่เก็บถาวร","inbox.archived.deleteSuccess":"ลบเธรดที่เก็บถาวรแล้ว ดูใน<settingsLink>เธรดที่เก็บถาวร</settingsLink>","inbox.archived.inlineLabel.auto":"เธรดนี้ถูกเก็บถาวรโดยอัตโนมัติ <learnMoreLink>เรียนรู้เพิ่มเติม</learnMoreLink>","inbox.archived.inlineLabel.manual":"เธรดนี้ถูกเก็บถาวรอยู่","inbox.archived.noMessageFound":"ไม่พบข้อความ","inbox.automations.createError":"ไม่สามารถสร้างกระบวนการอัตโนมัติ","inbox.automations.deleteConfirm.cancel":"ยกเลิก","inbox.automations.deleteConfirm.confirm":"ลบการทำงานอัตโนมัติ","inbox.automations.deleteConfirm.description":"การกระทำนี้จะลบการทำงานอัตโนมัติอย่างถาวรและหยุดการรันในอนาคต","inbox.automations.deleteConfirm.title":"จะลบ {name} ใช่หรือไม่","inbox.automations.deleteError":"ไม่สามารถลบการทำงานอัตโนมัติได้","inbox.automations.editTooltip":"แก้ไขกระบวนการอัตโนมัติ","inbox.automations.inProgress":"กำลังดำเนินการ","inbox.automations.new":"ใหม่","inbox.automations.newToolbar":"กระบวนการอัตโนมัติใหม่","inbox.automations.pauseTooltip":"หยุดระบบอัตโนมัติชั่วคราว","inbox.automations.resumeTooltip":"ใช้ระบบอัตโนมัติต่อ","inbox.automations.startingNow":"กำลังเริ่ม","inbox.automations.startsIn":"จะเริ่มต้นใน {startTime}","inbox.automations.status.active":"ใช้งานอยู่","inbox.automations.status.paused":"พักแล้ว","inbox.automations.status.runs":"รัน {count} ครั้ง","inbox.automations.status.started":"เริ่มเมื่อ {date}","inbox.automations.updateError":"ไม่สามารถอัปเดตระบบอัตโนมัติ","inbox.automations.workspaceFallback":"-","inbox.filter.all":"ทั้งหมด","inbox.filter.ariaLabel":"กรองรายการในกล่องจดหมาย","inbox.filter.unread":"ยังไม่ได้อ่าน","inbox.list.archived":"เก็บถาวรแล้ว","inbox.list.inProgress":"กำลังดำเนินการ","inbox.list.recent":"เสร็จสิ้นแล้ว","inbox.list.upNext":"กำหนดเวลาแล้ว","inbox.mode.automations":"ระบบอัตโนมัติ","inbox.mode.automations.beta":"เบตา","inbox.noDescription":"ไม่มีคำอธิบาย","inbox.openThread":"เปิดเธรด","inbox.rightPanel.emptySubtitle":"สั่งให้งานทำอัตโนมัติด้วยการกำหนดตารางเวลางาน","inbox.rightPanel.emptySubtitle.learnMore":"ให้งานดำเนินไปโดยอัตโนมัติด้วยการตั้งค่าเธรดตามกำหนดเวลา<link>เรียนรู้เพิ่มเติม</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# ระบบอัตโนมัติที่ใช้งานอยู่}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"ไม่มีระบบอัตโนมัติที่ไม่ได้อ่าน","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# ระบบอัตโนมัติที่ไม่ได้อ่าน}}","inbox.rightPanel.emptyTitle":"ไม่ได้เลือกรายการใดๆ","inbox.rightPanel.noThread":"ไม่มีเธรดสำหรับรายการนี้","inbox.rightPanel.quickStart.header":"เริ่มด้วยเทมเพลต","inbox.untitled":"รายการที่ไม่มีชื่อในกล่องจดหมาย","loadingPage.documentationLink":"เอกสาร","loadingPage.errorDescription":"Codex หยุดทำงานโดยมีข้อผิดพลาดต่อไปนี้:","loadingPage.errorDescription.documentation":"คลิกโหลดซ้ำเพื่อรีสตาร์ทส่วนขยาย Codex หรือไปที่ {documentationLink} ของเราเพื่อรับความช่วยเหลือเพิ่มเติม","loadingPage.errorSignal":"สิ่งที่ควรลองทำ:","loadingPage.errorTitle":"เกิดข้อผิดพลาด","loadingPage.openConfigToml":"เปิด Config.toml","loadingPage.reload":"โหลดซ้ำ","localConversation.contextCompacted":"บริบทถูกบีบอัดโดยอัตโนมัติ","localConversation.contextCompacting":"กำลังบีบอัดบริบทโดยอัตโนมัติ","localConversation.forkedFromConversation":"ฟอร์กจาก {threadTitle}","localConversation.merge.autoResolve.failed":"ขอการแก้ไขอัตโนมัติไม่สำเร็จ: {error}","localConversation.merge.autoResolve.sent":"ส่งคำขอแก้ไขอัตโนมัติแล้ว","localConversation.merge.autoResolveMerge.missingConversation":"ไม่สามารถแก้ไขโดยอัตโนมัติหากไม่มีบทสนทนาที่ใช้งานอยู่","localConversation.merge.autoResolveMerge.request":"แก้ไขข้อมูลที่ขัดกันขณะผสานโดยอัตโนมัติ","localConversation.modelChanged":"เปลี่ยนโมเดลจาก {fromModel} เป็น {toModel}","localConversation.modelChanged.warning.line1":"การเปลี่ยนโมเดลขณะกำลังสนทนาจะทำให้ประสิทธิภาพลดลง","localConversation.modelChanged.warning.line2":"บริบทอาจถูกบีบอัดโดยอัตโนมัติ","localConversation.moveThread.createBranch.label":"สร้างสาขา","localConversation.moveToLocal.disabled.loading":"กำลังโหลด...","localConversation.moveToLocal.modal.continue":"ต่อไป","localConversation.moveToLocal.modal.destinationLabel":"ย้ายไปยัง","localConversation.moveToLocal.modal.retry":"ลองใหม่","localConversation.moveToWorktree.modal.back":"ย้อนกลับ","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"มีสาขาอยู่แล้ว","localConversation.moveToWorktree.modal.branchesError":"ไม่สามารถโหลดสาขา","localConversation.moveToWorktree.modal.branchesLoading":"กำลังโหลดสาขา...","localConversation.moveToWorktree.modal.branchesRetry":"ลองใหม่","localConversation.moveToWorktree.modal.continue":"ต่อไป","localConversation.moveToWorktree.modal.retry":"ลองใหม่","localConversation.moveToWorktree.modal.trailingSlashError":"ชื่อสาขาต้องไม่ลงท้ายด้วย “/”","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"สาขาใหม่","localConversation.personalityChanged":"เปลี่ยนไปใช้บุคลิก{personality}แล้ว","localConversation.planSummary.collapse":"ยุบสรุปบริการ","localConversation.planSummary.collapseTooltip":"ยุบ","localConversation.planSummary.download":"ดาวน์โหลดแผน","localConversation.planSummary.expand":"ขยายสรุปบริการ","localConversation.planSummary.expandTooltip":"ขยาย","localConversation.planSummary.openInNewWindow":"เปิด","localConversation.planSummary.openInNewWindow.tooltip":"เปิดในหน้าต่างใหม่","localConversation.planSummary.title":"บริการ","localConversation.planSummary.titleWriting":"กำลังเขียนแผน","localConversation.planSummary.viewPlan":"ขยายบริการ","localConversation.remoteTaskCreated":"สร้าง {taskLink} ใน Codex Cloud แล้ว","localConversation.remoteTaskCreated.task":"งาน","localConversation.scrollToBottomButton":"เลื่อนลงไปสุดด้านล่าง","localConversation.sync.buttonLabel":"ส่งต่อไปที่เครื่อง","localConversation.sync.buttonLabel.tooltip":"ส่งต่อการเปลี่ยนแปลงระหว่างเวิร์กทรีนี้กับการเช็คเอาท์ในเครื่องของคุณ","localConversation.sync.modal.loading.title":"กำลังส่งต่อการเปลี่ยนแปลง...","localConversation.sync.modal.noChanges":"ไม่มีการเปลี่ยนแปลง","localConversation.syncSetup.branchAriaLabel":"ชื่อสาขา","localConversation.syncSetup.branchName":"ชื่อสาขา","localConversation.syncSetup.branchPlaceholder.existing":"เลือกสาขาที่มีอยู่","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"กำลังโหลดสาขา...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"เช็คเอาท์แล้ว","localConversation.syncSetup.checkoutClean":"ขณะนี้อยู่ใน {branchName}","localConversation.syncSetup.checkoutDirty":"ขณะนี้อยู่ใน {branchName} โดยมีการเปลี่ยนแปลงที่ยังไม่ได้คอมมิต","localConversation.syncSetup.checkoutError":"เช็คเอาท์สาขาไม่สำเร็จ: {message}","localConversation.syncSetup.checkoutLabel":"เช็คเอาท์ภายในเครื่องตอนนี้","localConversation.syncSetup.checkoutOnLocal":"ส่งต่อไปที่เครื่อง","localConversation.syncSetup.checkoutPending":"กำลังตรวจสอบสถานะในเครื่อง...","localConversation.syncSetup.checkoutUnavailable":"ไม่มีพื้นที่ทำงานในเครื่อง","localConversation.syncSetup.checkoutUnknown":"ไม่มีสาขาในเครื่อง","localConversation.syncSetup.continue":"ต่อไป","localConversation.syncSetup.createBranchError":"ตั้งค่าสาขาส่งต่อไม่สำเร็จ: {message}","localConversation.syncSetup.error":"มีบางอย่างผิดพลาด: {message}","localConversation.syncSetup.error.workingTreeMissing":"ไม่สามารถบันทึกสแนปชอตของเวิร์กทรีได้ โปรดลองทำการส่งต่ออีกครั้ง","localConversation.syncSetup.mode.ariaLabel":"เลือกโหมดสาขา","localConversation.syncSetup.mode.existing":"สาขาที่มีอยู่","localConversation.syncSetup.mode.new":"สาขาใหม่","localConversation.syncSetup.noBranches":"ไม่พบสาขา","localConversation.syncSetup.overwriteError":"สร้างสาขาแล้วแต่ส่งต่อไม่สมบูรณ์ โปรดส่งต่อด้วยตัวเองก่อนที่จะเช็คเอาท์ในเครื่อง","localConversation.syncSetup.setPrefix":"ตั้งค่า Prefix","localConversation.syncSetup.subtitle":"ทดสอบและแก้ไขการเปลี่ยนแปลงเวิร์กทรีภายในเครื่อง <a>เรียนรู้เพิ่มเติม</a>","localConversation.syncSetup.success.checkedOut":"สร้างสาขาและเช็คเอาท์ภายในเครื่องแล้ว","localConversation.syncSetup.success.notCheckedOut":"สร้างสาขาแล้ว","localConversation.syncSetup.title":"ส่งต่อให้สาขาในเครื่อง","localConversation.syncWorktreeError.branchAriaLabel":"ชื่อสาขา","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"เลือกสาขาที่จะส่งต่อให้ จากนั้นลองโหลดการเปลี่ยนแปลงอีกครั้ง","localConversation.syncWorktreeError.branchSetup.title":"อัปเดตสาขา","localConversation.syncWorktreeError.branchUpdate.cta":"อัปเดตและลองอีกครั้ง","localConversation.syncWorktreeError.branchUpdate.error":"อัปเดตสาขาไม่สำเร็จ: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"มีบางอย่างผิดพลาด: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"สาขายังไม่ได้รับการเช็คเอาท์ในเวิร์กทรีใดๆ","localConversation.syncWorktreeV2.applyUncommitted":"ใช้","localConversation.syncWorktreeV2.applyUncommitted.disabled":"คุณต้องเช็คเอาท์สาขาภายในเครื่องเพื่อนำการเปลี่ยนแปลงที่ยังไม่ได้คอมมิตไปใช้","localConversation.syncWorktreeV2.branches.empty":"ไม่พบสาขา","localConversation.syncWorktreeV2.branches.loading":"กำลังโหลดสาขา...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"เปลี่ยนสาขาส่งต่อ","localConversation.syncWorktreeV2.changeBranch.error":"เปลี่ยนสาขาส่งต่อไม่สำเร็จ: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"นำไปใช้ไม่สำเร็จ","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"เขียนทับเวิร์กทรีไม่สำเร็จ","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"เขียนทับในเครื่องไม่สำเร็จ","localConversation.syncWorktreeV2.commandError.back":"ย้อนกลับ","localConversation.syncWorktreeV2.commandError.body":"คอมมานด์ git ล้มเหลวขณะส่งต่อ โปรดตรวจสอบเอาต์พุตแล้วลองใหม่","localConversation.syncWorktreeV2.commandError.retry":"ลองใหม่","localConversation.syncWorktreeV2.description":"ส่งต่อการเปลี่ยนแปลงระหว่างในเครื่องกับเวิร์กทรีนี้ <a>เรียนรู้เพิ่มเติม</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"เลือกทิศทางการส่งต่อ","localConversation.syncWorktreeV2.error.generic":"มีบางอย่างผิดพลาดขณะส่งต่อ โปรดลองอีกครั้ง","localConversation.syncWorktreeV2.localBranchLabel":"ในเครื่อง","localConversation.syncWorktreeV2.noChanges":"กำลังคำนวณการเปลี่ยนแปลง","localConversation.syncWorktreeV2.noChanges.summary":"ไม่มีการเปลี่ยนแปลง","localConversation.syncWorktreeV2.overwrite.local":"เขียนทับในเครื่อง","localConversation.syncWorktreeV2.overwrite.worktree":"เขียนทับเวิร์กทรี","localConversation.syncWorktreeV2.partial.action.applyFailed":"ไม่สามารถใช้การเปลี่ยนแปลงได้","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ไม่สามารถเขียนทับการเปลี่ยนแปลงภายในเครื่อง","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ไม่สามารถเขียนทับการเปลี่ยนแปลงเวิร์กทรี","localConversation.syncWorktreeV2.partial.appliedLabel":"ใช้แล้ว","localConversation.syncWorktreeV2.partial.back":"ย้อนกลับ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"แก้ไขความขัดแย้งแล้วลองอีกครั้ง","localConversation.syncWorktreeV2.partial.conflictsLabel":"ความขัดแย้ง","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# ไฟล์}}","localConversation.syncWorktreeV2.partial.retry":"ลองใหม่","localConversation.syncWorktreeV2.partial.skippedLabel":"ข้ามแล้ว","localConversation.syncWorktreeV2.stateFailed.generic":"มีบางอย่างผิดพลาดขณะดึงข้อมูลการเปลี่ยนแปลงเวิร์กทรีที่จะส่งต่อ โปรดลองอีกครั้ง","localConversation.syncWorktreeV2.stateFailed.title":"โหลดการเปลี่ยนแปลงเวิร์กทรีไม่สำเร็จ","localConversation.syncWorktreeV2.statusError.diffUnknown":"โหลดการเปลี่ยนแปลงเวิร์กทรีไม่สำเร็จ","localConversation.syncWorktreeV2.statusError.retry":"ลองใหม่","localConversation.syncWorktreeV2.statusError.title":"ไม่สามารถโหลดการเปลี่ยนแปลงสาขาในเครื่อง","localConversation.syncWorktreeV2.statusError.unknown":"สถานะสาขาไม่พร้อมใช้งานในตอนนี้ โปรดลองอีกครั้ง","localConversation.syncWorktreeV2.success.apply":"นำการเปลี่ยนแปลงไปใช้สำเร็จแล้ว","localConversation.syncWorktreeV2.success.overwrite":"ส่งต่อสำเร็จ","localConversation.syncWorktreeV2.title":"ส่งต่อการเปลี่ยนแปลง","localConversation.syncWorktreeV2.worktreeLabel":"เวิร์กทรี","localConversation.userInputRequest.inProgress":"กำลังถาม {count, plural, other {คำถาม}}","localConversation.userInputRequest.noAnswer":"ไม่มีคำตอบ","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"ถามแล้ว","localConversation.userInputRequest.summary.count":"{count, plural, other {# คำถาม}}","localConversation.workedFor":"ทำงานแล้วเป็นเวลา {time}","localConversation.worktreeBranchSetup.action.create":"สร้าง","localConversation.worktreeBranchSetup.branchAriaLabel":"ชื่อสาขา","localConversation.worktreeBranchSetup.branchPlaceholder.new":"สร้างสาขาใหม่","localConversation.worktreeBranchSetup.checkoutDisabled":"เช็คเอาท์สาขานี้แล้วที่ {location}","localConversation.worktreeBranchSetup.checkoutError":"เช็คเอาท์สาขาไม่สำเร็จ: {message}","localConversation.worktreeBranchSetup.createBranchError":"ตั้งค่าสาขาไม่สำเร็จ: {message}","localConversation.worktreeBranchSetup.error":"มีบางอย่างผิดพลาด: {message}","localConversation.worktreeBranchSetup.subtitle":"สร้างสาขาเพื่อคอมมิตการเปลี่ยนแปลง พุช หรือสร้าง PR จากเวิร์กทรีนี้ <a>เรียนรู้เพิ่มเติม</a>","localConversation.worktreeBranchSetup.title":"ทำงานที่นี่","localConversationPage.addWorktreeToSidebar.tooltip":"บันทึกเป็นโครงการเพื่อให้เริ่มเธรดใหม่จากเวิร์กทรีนี้ได้","localConversationPage.addWorktreeToSidebarError":"เพิ่มโครงการไม่สำเร็จ","localConversationPage.commitAndCreatePrModal.errorTitle":"คอมมิตและสร้าง PR ไม่สำเร็จ","localConversationPage.commitAndCreatePrModal.successTitle":"คอมมิตและสร้าง PR แล้ว","localConversationPage.commitAndPushModal.errorTitle":"คอมมิตและพุชไม่สำเร็จ","localConversationPage.commitAndPushModal.successTitle":"คอมมิตและพุชการเปลี่ยนแปลงแล้ว","localConversationPage.commitCreatePr.open":"เปิด Pull Request","localConversationPage.commitCreatePr.successTitle":"สร้าง PR ที่มีการเปลี่ยนแปลงล่าสุดของคุณแล้ว","localConversationPage.createBranchButtonLabel":"แตกสาขาที่นี่","localConversationPage.createPrModal.baseBranch":"ฐาน","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"สร้าง PR","localConversationPage.createPrModal.createDescription":"เปิด Pulll Request ของการเปลี่ยนแปลงล่าสุดของคุณ","localConversationPage.createPrModal.errorTitle":"Pulll Request ไม่สำเร็จ","localConversationPage.createPrModal.headBranch":"หัว","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"เปิด PR","localConversationPage.createPrModal.successTitle":"สร้าง Pull Request แล้ว","localConversationPage.createPrModal.title":"สร้าง Pull Request","localConversationPage.createPrModal.viewDescription":"มี Pull Request ของสาขานี้อยู่แล้ว","localConversationPage.createPrModal.viewTitle":"Pulll Request พร้อมแล้ว","localConversationPage.createPullRequestAuthGh":"พิสูจน์ตัวตน GitHub CLI: รัน `gh auth login`","localConversationPage.createPullRequestBranchMissing":"ข้อมูลสาขาไม่พร้อมใช้งาน","localConversationPage.createPullRequestButtonLabel":"สร้าง PR","localConversationPage.createPullRequestButtonLabel.loading":"กำลังสร้าง PR...","localConversationPage.createPullRequestDefaultBranchMissing":"ข้อมูลสาขาเริ่มต้นไม่พร้อมใช้งาน","localConversationPage.createPullRequestError":"สร้าง Pull Request ไม่สำเร็จ","localConversationPage.createPullRequestExistingPullRequest":"มี Pull Request ของสาขานี้อยู่แล้ว","localConversationPage.createPullRequestGhStatusMissing":"กำลังโหลดสถานะ GitHub CLI…","localConversationPage.createPullRequestInstallGh":"ติดตั้ง GitHub CLI (gh) เพื่อสร้าง PR","localConversationPage.createPullRequestNoRepo":"ไม่พบคลังโค้ด git","localConversationPage.createPullRequestPushStatusMissing":"กำลังโหลดสถานะพุช...","localConversationPage.createPullRequestSetUpstream":"พุชสาขานี้ก่อนสร้าง PR","localConversationPage.createPullRequestSuccessToast":"สร้าง Pull Request แล้ว","localConversationPage.createPullRequestSwitchBranch":"เช็คเอาท์สาขาฟีเจอร์ก่อนสร้าง PR","localConversationPage.error.render":"เกิดข้อผิดพลาดในการเรนเดอร์บทสนทนาในเครื่อง","localConversationPage.error.toast":"ไม่พบบทสนทนา","localConversationPage.forcePushError":"บังคับพุชไม่สำเร็จ","localConversationPage.generatePullRequestMessageError":"สร้างชื่อและเนื้อความของ Pull Request ไม่สำเร็จ","localConversationPage.generatePullRequestMessageFailed":"สร้างชื่อและเนื้อความของ Pull Request ไม่สำเร็จ","localConversationPage.gitActionResult.branch":"สาขา","localConversationPage.gitActionResult.cancel":"ยกเลิก","localConversationPage.gitActionResult.close":"ปิด","localConversationPage.gitActionResult.tryAgain":"ลองอีกครั้ง","localConversationPage.gitActions":"การกระทำ git","localConversationPage.newChat":"แชตใหม่","localConversationPage.openInTarget":"เปิดใน","localConversationPage.openPrimaryTarget":"เปิด","localConversationPage.planItemsCompleted":"{completedItems} จาก {totalItems, plural, other {# งานเสร็จสมบูรณ์แล้ว}} รายการ","localConversationPage.pushAuthError":"พุชไม่สำเร็จ: จำเป็นต้องมีการพิสูจน์ตัวตน","localConversationPage.pushBranchMissing":"ข้อมูลสาขาไม่พร้อมใช้งาน","localConversationPage.pushButtonLabel":"พุช","localConversationPage.pushButtonLabel.loading":"กำลังพุช...","localConversationPage.pushError":"พุชการเปลี่ยนแปลงไม่สำเร็จ","localConversationPage.pushModal.branchLabel":"สาขา","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"ยกเลิก","localConversationPage.pushModal.confirm":"พุช","localConversationPage.pushModal.description":"พุชคอมมิตล่าสุดของคุณไปยังคลังโค้ดระยะไกล","localConversationPage.pushModal.errorTitle":"พุชไม่สำเร็จ","localConversationPage.pushModal.forcePush":"บังคับพุช","localConversationPage.pushModal.successTitle":"พุชเสร็จสมบูรณ์","localConversationPage.pushModal.title":"การเปลี่ยนแปลงพุช","localConversationPage.pushModal.tryAgain":"ลองอีกครั้ง","localConversationPage.pushNoUpstream":"ตั้งค่าอัปสตรีมก่อนพุชสาขานี้","localConversationPage.pushNoUpstreamError":"พุชไม่สำเร็จ: ไม่มีอัปสตรีมที่กำหนดค่าไว้","localConversationPage.pushNothingToPush":"ไม่มีการคอมมิตใหม่ที่จะพุช","localConversationPage.pushRemoteChangedError":"พุชไม่สำเร็จ: คลังโค้ดระยะไกลมีคอมมิตใหม่","localConversationPage.pushRemoteRejectedError":"พุชถูกปฏิเสธโดยคลังโค้ดระยะไกล","localConversationPage.pushStatusMissing":"กำลังโหลดสถานะพุช...","localConversationPage.pushSuccessToast":"พุชการเปลี่ยนแปลงแล้ว","localConversationPage.viewPullRequestButtonLabel":"ดู PR","localConversationPage.viewPullRequestButtonLabel.loading":"กำลังโหลด Pull Request...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# ไฟล์}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# รายการ}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# การค้นหา}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"กำลังสำรวจ","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"สำรวจแล้ว","localConversationTurn.exploration.accordion.header.complete.withCounts":"สำรวจแล้ว {counts}","localConversationTurnStory.showContent":"แสดงเนื้อหา","localConversationTurnStory.streamContent":"สตรีมเนื้อหา","localConversationTurnStory.toggleReasoning":"แสดงการให้เหตุผล","localTaskRow.archiveError":"ไม่สามารถเก็บถาวรบทสนทนาได้","localTaskRow.resumeError":"กลับมาทำงานต่อไม่สำเร็จ","mermaidDiagram.ariaLabel":"แผนผัง Mermaid","mermaidDiagram.copySource":"คัดลอกเมอร์เมด","mermaidDiagram.originalCode":"โค้ดต้นทาง Mermaid","notifications.permissions.description":"แสดงข้อความเตือนเมื่อต้องได้รับสิทธิ์การแจ้งเตือน","notifications.permissions.label":"เปิดการใช้งานการแจ้งเตือนการอนุญาต","notifications.turnMode.always":"ตลอด","notifications.turnMode.description":"ตั้งค่าว่า Codex ควรแจ้งให้คุณทราบว่างานเสร็จแล้วในกรณีใดบ้าง","notifications.turnMode.label":"การแจ้งเตือนความสมบูรณ์ของรอบ","notifications.turnMode.off":"ไม่ทำ","notifications.turnMode.unfocused":"เฉพาะเมื่อไม่โฟกัส","patchApprovalRequest.approve":"อนุมัติ","patchApprovalRequest.menu.allowAlways":"ใช่ และอย่าถามอีกในเซสชันนี้","patchApprovalRequest.menu.allowForSession":"ใช่ และอย่าถามอีกในเซสชันนี้","patchApprovalRequest.menu.allowOnce":"ใช่","patchApprovalRequest.prompt":"คุณต้องการทำการเปลี่ยนแปลงเหล่านี้หรือไม่","patchApprovalRequest.reject":"ไม่","patchApprovalRequest.waitingForApproval":"กำลังรอการอนุมัติให้แก้ไขไฟล์","pendingRequest.approvalExec.collapse":"ยุบ","pendingRequest.approvalExec.expand":"ขยาย","pendingRequestStory.toastAnswer":"คำตอบ: {answer}","pendingRequestStory.toastApprovalTitle":"การตอบกลับคำขออนุมัติ","pendingRequestStory.toastFollowupPrompt":"คำสั่ง: {prompt}","pendingRequestStory.toastFollowupTitle":"ส่งคำถามต่อเนื่องแล้ว","pendingRequestStory.toastNoAnswers":"ไม่ได้ให้คำตอบ","pendingRequestStory.toastQuestion":"คำถาม: {question}","pendingRequestStory.toastUnknownDecision":"ไม่รู้จัก","pendingRequestStory.toastUserInputTitle":"คำตอบที่ส่ง","quickAction.request.codeReview.branches.new":"โปรดตรวจทานการเปลี่ยนแปลงเหล่านี้บน {from} โดยเทียบกับ {to}","quickAction.request.codeReview.uncommitted.new":"โปรดทบทวนการเปลี่ยนแปลงที่ไม่ได้คอมมิต","reasoningItem.thinking":"กำลังคิด","reasoningItem.thought":"คิดแล้ว","reasoningItem.thoughtWithElapsed":"คิดเป็นเวลา {elapsed}","recentConversations.title":"บทสนทนาเมื่อเร็วๆ นี้","recentTasks.worktreeInitFailedTitle":"init ของเวิร์กทรีไม่ทำงาน","recentTasks.worktreeSettingUpTitle":"กำลังตั้งค่าเวิร์กทรี","requestInputPanel.continue":"ต่อไป","requestInputPanel.dismiss":"เลิก","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"พิมพ์ที่นี่","requestInputPanel.optionIndex":"{index}","requestInputPanel.otherPlaceholder":"ไม่ และบอก Codex ว่าควรทำอย่างไรที่ต่างออกไป","requestInputPanel.selectedBadge":"ที่เลือกไว้","requestInputPanel.skip":"ข้าม","requestInputPanel.submit":"ส่ง","review.commit.ariaLabel.includeUnstaged":"รวมรายการที่เลิกเตรียมแล้ว","review.commit.buttonLabel":"คอมมิต","review.commit.disabled.committing":"กำลังคอมมิต...","review.commit.disabled.loadingDiff":"กำลังโหลดการเปรียบเทียบ...","review.commit.disabled.missingContext":"เพิ่มบริบทบางอย่างเพื่อสร้างข้อความคอมมิต","review.commit.disabled.noChanges":"ไม่มีการเปลี่ยนแปลงที่จะคอมมิต","review.commit.disabled.noSelection":"เลือกการเปลี่ยนแปลงที่จะคอมมิต","review.commit.disabled.unavailable":"ไม่สามารถคอมมิตได้ในขณะนี้","review.commit.error":"คอมมิตการเปลี่ยนแปลงไม่สำเร็จ","review.commit.form.changesToBeCommitted":"การเปลี่ยนแปลง","review.commit.form.commitTo":"สาขา","review.commit.form.commitTo.none":"-","review.commit.form.continue":"ต่อไป","review.commit.form.title":"คอมมิตการเปลี่ยนแปลงของคุณ","review.commit.generate.emptyResponse":"ไม่สามารถสร้างข้อความคอมมิต","review.commit.generate.failed":"สร้างข้อความคอมมิตไม่สำเร็จ: {error}","review.commit.generate.missingPrompt":"เพิ่มบริบทบางอย่างเพื่อสร้างข้อความคอมมิต","review.commit.includeUnstaged":"รวมรายการที่ยังไม่ได้จัดเตรียมด้วย","review.commit.loading.description":"โปรดรอ การดำเนินการนี้จะใช้เวลาสักครู่","review.commit.loading.step.commit.done":"การเปลี่ยนแปลงที่ยังไม่คอมมิต","review.commit.loading.step.commit.pending":"กำลังทำการเปลี่ยนแปลง","review.commit.loading.step.createPr.done":"สร้าง Pull Request แล้ว","review.commit.loading.step.createPr.pending":"กำลังสร้าง Pull Request","review.commit.loading.step.push.done":"พุชไปยังสาขา {branch} แล้ว","review.commit.loading.step.push.pending":"กำลังพุชไปยังสาขา {branch}","review.commit.loading.title.commit":"กำลังทำการเปลี่ยนแปลง","review.commit.loading.title.createPr":"กำลังสร้าง PR","review.commit.loading.title.push":"กำลังพุชการเปลี่ยนแปลง","review.commit.messageLabel":"ข้อความคอมมิต","review.commit.messagePlaceholder":"เว้นว่างไว้เพื่อสร้างข้อความคอมมิตอัตโนมัติ","review.commit.nextSteps":"ขั้นตอนถัดไป","review.commit.nextSteps.commit":"คอมมิต","review.commit.nextSteps.commitAndCreate":"คอมมิตและสร้าง PR","review.commit.nextSteps.commitAndPush":"คอมมิตและพุช","review.commit.nextSteps.prRequiresGh":"จำเป็นต้องมี GitHub CLI: {command}","review.commit.rows.changes":"การเปลี่ยนแปลง","review.commit.rows.commitCount":"{count, plural, other {# คอมมิต}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# คอมมิต}} และ {stats}","review.commit.rows.fileCount":"{count, plural, other {# ไฟล์}}","review.commit.state.error.body":"มีบางอย่างผิดพลาดขณะคอมมิต โปรดตรวจสอบสถานะ git ของคุณแล้วลองอีกครั้ง","review.commit.state.error.title":"คอมมิตไม่สำเร็จ","review.commit.state.success.title":"คอมมิตการเปลี่ยนแปลงแล้ว","review.commit.untracked.loadingStats":"กำลังโหลดสถิติข้อมูลการเปรียบเทียบที่ไม่ได้ติดตาม...","reviewFindingAttachments.count":"{count, plural, other {ผลลัพธ์ # รายการ}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"แก้ไขการกำหนดค่าของคุณเพื่อปรับแต่งพฤติกรรมของเอเจนต์","settings.agent.configuration.configToml.docs":"เอกสาร","settings.agent.configuration.configToml.restartNote":"รีสตาร์ท Codex หลังจากทำการแก้ไขเพื่อใช้การเปลี่ยนแปลง","settings.agent.configuration.subtitle":"การตั้งค่านี้จะใช้กับทุกที่ที่มีการใช้ Codex","settings.automations.banner.danger":"ระบบอัตโนมัติจะรันโดยใช้การตั้งค่าแซนด์บ็อกซ์เริ่มต้นของคุณ ซึ่งปัจจุบันถูกตั้งไว้เป็นเข้าถึงได้เต็มรูปแบบ การรันระบบอัตโนมัติอยู่ในเบื้องหลังโดยใช้การเข้าถึงเต็มรูปแบบมีความเสี่ยงสูง เนื่องจาก Codex อาจทำการแก้ไขไฟล์ รันคอมมานด์ต่างๆ หรือเข้าถึงเครือข่ายได้โดยไม่ต้องขออนุญาต แนะนำให้พิจารณาปรับการตั้งค่าแซนด์บ็อกซ์เป็นแบบเขียนได้เฉพาะในพื้นที่ทำงาน และใช้<rulesDocsLink>กฎ</rulesDocsLink>เพื่อกำหนดเฉพาะบางคอมมานด์ที่อนุญาตให้เอเจนต์รันด้วยสิทธิ์เข้าถึงเต็มรูปแบบแทน","settings.automations.banner.defaultHowTo.default":"ระบบอัตโนมัติจะรันโดยใช้การตั้งค่าแซนด์บ็อกซ์เริ่มต้นของคุณ การเรียกใช้เครื่องมือจะล้มเหลวหากต้องมีการแก้ไขไฟล์ภายนอกพื้นที่ทำงาน การเข้าถึงเครือข่าย หรือการใช้งานแอปบนคอมพิวเตอร์ของคุณ ทั้งนี้คุณสามารถเลือกอนุญาตเฉพาะบางคอมมานด์ให้รันนอกแซนด์บ็อกซ์ได้โดยการใช้<rulesDocsLink>กฎ</rulesDocsLink>","settings.automations.banner.defaultHowTo.readOnly":"ระบบอัตโนมัติจะรันโดยใช้การตั้งค่าแซนด์บ็อกซ์เริ่มต้นของคุณ ซึ่งตั้งค่าเป็นแบบอ่านเท่านั้น การเรียกใช้เครื่องมือจะล้มเหลวหากต้องมีการแก้ไขไฟล์ภายนอกพื้นที่ทำงาน การเข้าถึงเครือข่าย หรือการใช้งานแอปบนคอมพิวเตอร์ของคุณ แนะนำให้พิจารณาอัปเดตการตั้งค่าแซนด์บ็อกซ์ให้เป็นแบบเขียนภายในพื้นที่ทำงาน","settings.automations.cancel":"ยกเลิก","settings.automations.create":"สร้าง","settings.automations.cwdEmpty":"ไม่มีโฟลเดอร์โครงการ","settings.automations.cwdLabel":"โครงการ","settings.automations.cwdPlaceholder":"เลือกโฟลเดอร์","settings.automations.cwdSubtitle":"หากคุณต้องการให้ระบบอัตโนมัติทำงานในสาขาใดโดยเฉพาะ คุณสามารถระบุสาขาดังกล่าวไว้ในคำสั่ง","settings.automations.delete":"ลบ","settings.automations.dialog.editTitle":"แก้ไขกระบวนการอัตโนมัติ","settings.automations.dialog.newTitle":"กระบวนการอัตโนมัติใหม่","settings.automations.dialog.subtitle":"จัดการงานที่ต้องทำซ้ำๆ ให้เป็นระบบอัตโนมัติในเบื้องหลัง โดย Codex จะเพิ่มข้อมูลที่ค้นพบลงในกล่องขาเข้าหรือจะเก็บงานนั้นถาวรโดยอัตโนมัติหากไม่มีอะไรให้รายงาน <learnMoreLink>เรียนรู้เพิ่มเติม</learnMoreLink>","settings.automations.dialog.title":"สร้างกระบวนการอัตโนมัติ","settings.automations.executionCopy.git":"ระบบอัตโนมัติจะทำงานในเบื้องหลังบนเวิร์กทรีที่กำหนดไว้โดยเฉพาะ","settings.automations.executionCopy.nonGit":"ระบบอัตโนมัติในโครงการที่ไม่ได้ควบคุมโดยเวอร์ชันจะรันในไดเรกทอรีโครงการโดยตรง แนะนำให้พิจารณาใช้ git เพื่อเปิดให้รันบนเวิร์กทรีในเบื้องหลัง","settings.automations.executionEnvironment.local":"ในเครื่อง","settings.automations.executionEnvironment.worktree":"เวิร์กทรี","settings.automations.loading":"กำลังโหลด...","settings.automations.nameLabel":"ชื่อ","settings.automations.namePlaceholder":"ตรวจหาสอบปัญหาเกี่ยวกับ Sentry","settings.automations.pause":"หยุดชั่วคราว","settings.automations.promptLabel":"คำสั่ง","settings.automations.promptPlaceholder":"หาความล้มเหลวใน $Sentry","settings.automations.resume":"กลับมาใช้งานต่อ","settings.automations.rruleSummaryFallback":"กำหนดเวลาแบบกำหนดเอง","settings.automations.runNow":"ทดสอบ","settings.automations.save":"บันทึก","settings.automations.scheduleBadge.dayCount":"{count} วัน","settings.automations.scheduleBadge.interval":"{count} ชม.","settings.automations.scheduleBadge.weekdays":"วันธรรมดา","settings.automations.scheduleBadge.weekends":"สุดสัปดาห์","settings.automations.scheduleHeader":"ตาราง","settings.automations.scheduleHours":"ชั่วโมง","settings.automations.scheduleLabel":"รันทุก","settings.automations.scheduleMode.daily":"ทุกวัน","settings.automations.scheduleMode.interval":"ช่วงเวลา","settings.automations.scheduleModeLabel":"ประเภทกำหนดเวลา","settings.automations.scheduleSummary.daily":"ทุกวัน เวลา {time}","settings.automations.scheduleSummary.interval":"ทุก {count} ชั่วโมง","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# วัน}}","settings.automations.scheduleSummary.intervalDays":"{interval} ในวัน {days}","settings.automations.scheduleSummary.intervalHourly":"รายชั่วโมง","settings.automations.scheduleSummary.singleDay":"{day} เวลา {time}","settings.automations.scheduleSummary.weekdays":"วันจันทร์-ศุกร์ เวลา {time}","settings.automations.scheduleSummary.weekdaysLabel":"วันจันทร์-ศุกร์","settings.automations.scheduleSummary.weekends":"วันเสาร์-อาทิตย์ เวลา {time}","settings.automations.scheduleSummary.weekendsLabel":"วันเสาร์-อาทิตย์","settings.automations.scheduleSummary.weekly":"{days} เวลา {time}","settings.automations.scheduleWeekdays":"เปิด","settings.automations.weekdayState.excluded":"ไม่รวม","settings.automations.weekdayState.included":"รวม","settings.conversationDetail.steps":"ขั้นตอน","settings.conversationDetail.steps.description":"ซ่อนคำสั่งและเอาต์พุต","settings.conversationDetail.stepsWithCommands":"ขั้นตอนที่มีคำสั่งโค้ด","settings.conversationDetail.stepsWithCommands.description":"แสดงคำสั่ง ยุบเอาต์พุต","settings.conversationDetail.stepsWithOutput":"ขั้นตอนที่มีอินพุตโค้ด","settings.conversationDetail.stepsWithOutput.description":"แสดงคำสั่งและขยายเอาต์พุต","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date} เวลา {time} • {repo}","settings.dataControls.archivedChats.empty":"ไม่มีแชตที่เก็บถาวร","settings.dataControls.archivedChats.error":"ไม่สามารถโหลดแชตที่เก็บถาวร","settings.dataControls.archivedChats.loading":"กำลังโหลดแชตที่เก็บถาวร...","settings.dataControls.archivedChats.unarchive":"ยกเลิกการเก็บถาวร","settings.dataControls.archivedChats.unarchiveError":"ยกเลิกการเก็บแชตถาวรไม่สำเร็จ","settings.dataControls.archivedChats.unarchiveSuccess":"ยกเลิกการเก็บเธรดถาวรแล้ว <viewNowLink>ดูเลย</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"ยกเลิกการเก็บถาวรเธรดแล้ว","settings.dataControls.archivedChats.untitled":"แชตที่ไม่มีชื่อ","settings.dataControls.archivedChats.viewNow":"ดูตอนนี้","settings.editRow.headerPlaceholder":"คีย์","settings.editRow.removeEntry":"ลบค่าออก","settings.editRow.valuePlaceholder":"ค่า","settings.general.appearance":"รูปลักษณ์","settings.general.appearance.codeFont":"ฟอนต์โค้ด","settings.general.appearance.codeFont.description":"ปรับฟอนต์และขนาดที่ใช้แสดงโค้ดในแชตและการเปรียบเทียบโค้ดทั้งหมด","settings.general.appearance.codeFontFamily":"ตระกูลฟอนต์สำหรับโค้ด","settings.general.appearance.codeFontSize":"ขนาดฟอนต์โค้ด","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ทำให้หน้าต่างใช้พื้นหลังสีทึบแทนแบบโปร่งแสงของระบบ","settings.general.appearance.opaqueWindows.label":"ใช้พื้นหลังหน้าต่างแบบทึบแสง","settings.general.appearance.sansFontFamily":"ตระกูลฟอนต์ Sans","settings.general.appearance.sansFontFamily.description":"ปรับฟอนต์ที่ใช้สำหรับ Codex UI","settings.general.appearance.sansFontSize":"ขนาดฟอนต์ Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"แสดงเอฟเฟกต์การฉลองแบบเต็มหน้าต่างขณะที่ GPT-5.3-Codex-Spark รันรอบแรก","settings.general.appearance.sparkCelebrationEffects.label":"เอฟเฟกต์การฉลองเป็นประกาย","settings.general.appearance.theme":"ธีม","settings.general.appearance.theme.dark":"มืด","settings.general.appearance.theme.description":"ใช้แบบสว่าง มืด หรือตามระบบของคุณ","settings.general.appearance.theme.light":"สว่าง","settings.general.appearance.theme.system":"ระบบ","settings.general.appearance.usePointerCursors.description":"เปลี่ยนเคอร์เซอร์เป็นตัวชี้เมื่อวางเคอร์เซอร์บนองค์ประกอบเชิงโต้ตอบ","settings.general.appearance.usePointerCursors.label":"ใช้เคอร์เซอร์แบบตัวชี้","settings.general.enterBehavior.description":"เมื่อเปิดการใช้งาน คำสั่งแบบหลายบรรทัดจะต้องกด {modifierSymbol} + enter เพื่อส่ง","settings.general.enterBehavior.label":"ต้องกด {modifierSymbol} + enter เพื่อส่งคำสั่งขนาดยาว","settings.general.experimentalFeatures":"คุณสมบัติขั้นทดลอง (เบตา)","settings.general.experimentalFeatures.empty":"ไม่มีคุณสมบัติขั้นทดลอง (เบตา) ที่พร้อมใช้งาน","settings.general.experimentalFeatures.loading":"กำลังโหลดคุณสมบัติขั้นทดลอง…","settings.general.experimentalFeatures.restartNote":"รีสตาร์ท Codex เพื่อใช้การเปลี่ยนแปลงของคุณสมบัติขั้นทดลอง","settings.general.experimentalFeatures.toggle":"สลับ {featureName}","settings.general.followUpQueueMode.description":"เข้าคิวคำสั่งต่อเนื่องขณะที่ Codex กำลังรันหรือควบคุมการรันปัจจุบันการรันปัจจุบัน กด {invertFollowUpShortcutLabel} เพื่อทำตรงกันข้ามสำหรับหนึ่งข้อความ","settings.general.followUpQueueMode.interrupt":"ควบคุมการทำงาน","settings.general.followUpQueueMode.label":"พฤติกรรมต่อเนื่อง","settings.general.followUpQueueMode.queue":"เข้าคิว","settings.general.notifications":"การแจ้งเตือน","settings.general.power.preventSleepWhileRunning.description":"ทำให้คอมพิวเตอร์ทำงานในขณะที่ Codex กำลังรันเธรด","settings.general.power.preventSleepWhileRunning.label":"ป้องกันการเข้าสู่โหมดสลีปขณะกำลังรัน","settings.git.branchPrefix.ariaLabel":"คำนำหน้าสาขา","settings.git.branchPrefix.description":"คำนำหน้าที่ใช้เมื่อสร้างสาขาใน Codex","settings.git.branchPrefix.label":"คำนำหน้าสาขา","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"บันทึกคำนำหน้าสาขาไม่สำเร็จ","settings.git.branchPrefix.save.success":"บันทึกคำนำหน้าสาขาแล้ว","settings.git.commitInstructions.ariaLabel":"คำสั่งคอมมิต","settings.git.commitInstructions.description":"เพิ่มไปที่คำสั่งสร้างข้อความคอมมิตแล้ว","settings.git.commitInstructions.label":"คำสั่งคอมมิต","settings.git.commitInstructions.placeholder":"เพิ่มแนวทางสำหรับข้อความคอมมิต...","settings.git.commitInstructions.save":"บันทึก","settings.git.commitInstructions.save.error":"บันทึกคำสั่งคอมมิตไม่สำเร็จ","settings.git.commitInstructions.save.success":"บันทึกคำสั่งคอมมิตแล้ว","settings.git.forcePush.ariaLabel":"บังคับพุชเสมอ","settings.git.forcePush.description":"ใช้ --force-with-lease เมื่อพุชจาก Codex","settings.git.forcePush.label":"บังคับพุชเสมอ","settings.git.forcePush.save.disabled":"บังคับพุชเสมอปิดการใช้งานแล้ว","settings.git.forcePush.save.enabled":"บังคับพุชเสมอเปิดการใช้งานแล้ว","settings.git.forcePush.save.error":"บันทึกการตั้งค่าบังคับพุชไม่สำเร็จ","settings.git.prInstructions.ariaLabel":"คำสั่ง Pull Request","settings.git.prInstructions.description":"ต่อท้ายไปที่เนื้อความ Pull Request ที่ Codex สร้างแล้ว","settings.git.prInstructions.label":"คำสั่ง Pull Request","settings.git.prInstructions.placeholder":"เพิ่มแนวทางสำหรับ Pull Request...","settings.git.prInstructions.save":"บันทึก","settings.git.prInstructions.save.error":"บันทึกคำสั่ง Pull Request ไม่สำเร็จ","settings.git.prInstructions.save.success":"บันทึกคำสั่ง Pull Request แล้ว","settings.ide.defaultOpenTarget.description":"ที่ซึ่งไฟล์กับโฟลเดอร์จะเปิดโดยอัตโนมัติ","settings.ide.defaultOpenTarget.label":"ปลายทางแบบเปิดเริ่มต้น","settings.ide.defaultOpenTarget.placeholder":"ไม่พบเป้าหมาย","settings.ide.language.auto":"ตรวจจับอัตโนมัติ","settings.ide.language.autoOption":"ตรวจจับอัตโนมัติ","settings.ide.language.description":"ภาษาสำหรับ UI แอป","settings.ide.language.label":"ภาษา","settings.ide.language.search":"ค้นหาภาษา","settings.layout.actionButton":"รีสตาร์ทส่วนขยาย","settings.layout.actionTitle":"การตั้งค่าที่มีการกระทำ","settings.layout.fullWidthTitle":"การตั้งค่า (เต็มความกว้าง)","settings.layout.title":"การตั้งค่า","settings.localEnvironments.actions.add":"เพิ่มการกระทำ","settings.localEnvironments.actions.add.description":"สร้างคำสั่งใหม่เพื่อรันจากแถบเครื่องมือ","settings.localEnvironments.actions.add.save":"บันทึก","settings.localEnvironments.actions.empty":"เพิ่มการกระทำเพื่อรันคอมมานด์จากแถบเครื่องมือในเครื่อง","settings.localEnvironments.actions.icon.debug":"ดีบัก","settings.localEnvironments.actions.icon.run":"รัน","settings.localEnvironments.actions.icon.test":"ทดสอบ","settings.localEnvironments.actions.icon.tool":"เครื่องมือ","settings.localEnvironments.actions.item.button.delete":"ลบ","settings.localEnvironments.actions.item.command":"สคริปต์การกระทำ","settings.localEnvironments.actions.item.name":"ชื่อ","settings.localEnvironments.actions.item.platforms":"แพลตฟอร์ม","settings.localEnvironments.actions.item.platforms.help":"รันในระบบปฏิบัติการที่ระบุเท่านั้น","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"การเลือกแพลตฟอร์ม","settings.localEnvironments.actions.item.platforms.specific":"เฉพาะแพลตฟอร์มที่ระบุ","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"ลบ","settings.localEnvironments.actions.title":"การกระทำ","settings.localEnvironments.breadcrumb.back":"ย้อนกลับ","settings.localEnvironments.breadcrumb.edit":"แก้ไข","settings.localEnvironments.breadcrumb.root":"สภาพแวดล้อม","settings.localEnvironments.environment.actions.description":"การกระทำเหล่านี้สามารถรันคอมมานด์ได้ทั้งหมดและจะแสดงในส่วนเฮดเดอร์","settings.localEnvironments.environment.actionsLabel":"การกระทำ","settings.localEnvironments.environment.create":"สร้างสภาพแวดล้อมในเครื่อง","settings.localEnvironments.environment.defaultName":"ในเครื่อง","settings.localEnvironments.environment.edit":"แก้ไขสภาพแวดล้อมในเครื่อง","settings.localEnvironments.environment.empty":"ยังไม่ได้กำหนดค่าสภาพแวดล้อมในเครื่องสำหรับโครงการนี้","settings.localEnvironments.environment.name":"ชื่อ","settings.localEnvironments.environment.setup":"สคริปต์การตั้งค่า","settings.localEnvironments.environment.setup.description":"สคริปนี้จะรันในการสร้างเวิร์กทรี","settings.localEnvironments.environment.setup.hint":"รันในรากโครงการ","settings.localEnvironments.environment.setup.platformOverrides":"การใช้แทนค่าเดิมของแพลตฟอร์ม","settings.localEnvironments.environment.setup.platformOverrides.add":"เพิ่มสคริปต์การตั้งค่า {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"แทนที่สคริปต์เริ่มต้นของระบบปฏิบัติการที่ระบุ","settings.localEnvironments.environment.setup.platformOverrides.remove":"ลบ","settings.localEnvironments.environment.setup.script":"สคริปต์","settings.localEnvironments.environment.title":"รายละเอียดสภาพแวดล้อม","settings.localEnvironments.file.missing":"บันทึกเพื่อสร้างไฟล์นี้เป็นครั้งแรก","settings.localEnvironments.file.parseError":"ไม่สามารถแยกวิเคราะห์ไฟล์ที่มีอยู่ การบันทึกจะเป็นการแทนที่ไฟล์นี้ ({error})","settings.localEnvironments.file.path":"ไฟล์: {path}","settings.localEnvironments.file.readError":"โหลดข้อมูลสภาพแวดล้อมในเครื่องไม่สำเร็จ ({error})","settings.localEnvironments.file.title":"ไฟล์ในสภาพแวดล้อมในเครื่อง","settings.localEnvironments.loading.body":"กำลังดึงข้อมูลการกำหนดค่าโครงการ","settings.localEnvironments.loading.title":"กำลังโหลดสภาพแวดล้อมในเครื่อง","settings.localEnvironments.preview.devOnly":"(DEV เท่านั้น)","settings.localEnvironments.preview.save":"บันทึก","settings.localEnvironments.preview.saveError":"บันทึกไฟล์ไม่สำเร็จ ({error})","settings.localEnvironments.preview.title":"ดูตัวอย่าง","settings.localEnvironments.save.disabled.name":"เพิ่มชื่อสภาพแวดล้อมเพื่อบันทึก","settings.localEnvironments.save.disabled.noChanges":"ไม่มีการเปลี่ยนแปลงให้บันทึก","settings.localEnvironments.save.disabled.saving":"กำลังบันทึก...","settings.localEnvironments.save.success":"บันทึกสภาพแวดล้อมในเครื่องแล้ว","settings.localEnvironments.unavailable.body":"เราไม่สามารถโหลดการตั้งค่าสภาพแวดล้อมในเครื่องของโครงการนี้","settings.localEnvironments.unavailable.title":"ไม่มีค่าสภาพแวดล้อมในเครื่อง","settings.localEnvironments.workspace.add":"เพิ่มโครงการ","settings.localEnvironments.workspace.title":"โครงการ","settings.localEnvironments.workspaceSelect.addLabel":"เพิ่มสภาพแวดล้อม","settings.localEnvironments.workspaceSelect.description":"สภาพแวดล้อมในเครื่องเป็นตัวบอกวิธีการตั้งค่าเวิร์กทรีของโครงการแก่ Codex {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ยังไม่มีโครงการ เพิ่มโครงการเพื่อกำหนดค่าสภาพแวดล้อมในเครื่อง","settings.localEnvironments.workspaceSelect.errorLabel":"โปรดดำเนินการกับสภาพแวดล้อม","settings.localEnvironments.workspaceSelect.learnMore":"เรียนรู้เพิ่มเติม","settings.localEnvironments.workspaceSelect.listLabel":"โครงการที่มีอยู่","settings.localEnvironments.workspaceSelect.loading":"กำลังโหลดโครงการ","settings.localEnvironments.workspaceSelect.loadingLabel":"กำลังโหลดพื้นที่ทำงาน","settings.localEnvironments.workspaceSelect.title":"เลือกโครงการ","settings.localEnvironments.workspaceSelect.viewAction":"ดู","settings.mcp.addServer":"เพิ่มเซิร์ฟเวอร์","settings.mcp.app.configure":"กำหนดค่า","settings.mcp.app.connect":"เชื่อมต่อ","settings.mcp.apps.refresh":"รีเฟรช","settings.mcp.detail.addArgument":"เพิ่มอาร์กิวเมนต์","settings.mcp.detail.addEnvVar":"เพิ่มตัวแปรสภาพแวดล้อม","settings.mcp.detail.addEnvVarPassthrough":"เพิ่มตัวแปร","settings.mcp.detail.args":"อาร์กิวเมนต์","settings.mcp.detail.back":"ย้อนกลับ","settings.mcp.detail.command":"คำสั่งเปิด","settings.mcp.detail.cwd":"ไดเรกทอรีที่ใช้งานอยู่","settings.mcp.detail.docs":"เปิดเอกสาร MCP","settings.mcp.detail.docs.link":"เอกสาร","settings.mcp.detail.envVarPassthrough":"การผ่านตัวแปรสภาพแวดล้อม","settings.mcp.detail.envVars":"ตัวแปรสภาพแวดล้อม","settings.mcp.detail.http.addEnvHeader":"เพิ่มตัวแปร","settings.mcp.detail.http.addHeader":"เพิ่มส่วนหัว","settings.mcp.detail.http.bearerToken":"env var token ผู้ถือ","settings.mcp.detail.http.envHeaders":"ส่วนหัวจากตัวแปรสภาพแวดล้อม","settings.mcp.detail.http.headers":"ส่วนหัว","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"ชื่อ","settings.mcp.detail.save":"บันทึก","settings.mcp.detail.switchTransportNotice":"หากต้องการเปลี่ยนประเภทเซิร์ฟเวอร์ MCP ให้ถอนการติดตั้งก่อน","settings.mcp.detail.titleExisting":"อัปเดต {name} MCP","settings.mcp.detail.titleNew":"เชื่อมต่อกับ MCP ที่กำหนดเอง","settings.mcp.detail.transport.http":"HTTP แบบสตรีมได้","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"ถอนการติดตั้ง","settings.mcp.empty":"ไม่มีการเชื่อมต่อเซิร์ฟเวอร์ MCP แบบกำหนดเอง","settings.mcp.myServers":"เซิร์ฟเวอร์แบบกำหนดเอง","settings.mcp.partnerServer.description.figma":"สร้างโค้ดได้ดีขึ้นด้วยการใส่บริบท Figma ที่สมบูรณ์","settings.mcp.partnerServer.description.github":"ผสานรวมกับ GitHub API เพื่อทำให้เวิร์กโฟลว์ทำงานอัตโนมัติและดึงข้อมูล","settings.mcp.partnerServer.description.linear":"ผสานรวมกับการติดตามปัญหาและการจัดการโครงการของ Linear","settings.mcp.partnerServer.description.notion":"อ่านเอกสาร อัปเดตหน้าต่างๆ จัดการงาน","settings.mcp.partnerServer.description.playwright":"ผสานการทำงานอัตโนมัติของเบราว์เซอร์เพื่อนำงานออกแบบมาใช้และทดสอบ UI","settings.mcp.partnerServer.install":"ติดตั้ง","settings.mcp.partnerServer.installAndAuthenticate":"ติดตั้งและพิสูจน์ตัวตน","settings.mcp.partnerServer.logoAlt":"โลโก้ {label}","settings.mcp.partnerServer.manage":"จัดการ","settings.mcp.partnerServer.vendor":"โดย {vendor}","settings.mcp.recommendedServers":"เซิร์ฟเวอร์ที่แนะนำ","settings.mcp.restartApp":"รีสตาร์ท","settings.mcp.restartExtension":"รีสตาร์ทส่วนขยาย","settings.mcp.server.enable":"เปิดการใช้งาน","settings.mcp.server.login":"พิสูจน์ตัวตน","settings.mcp.server.settings":"การตั้งค่า","settings.multiselect.createOption":'สร้าง "{value}"',"settings.multiselect.removeOption":"ลบ","settings.nav.account":"บัญชี","settings.nav.agent":"การกำหนดค่าดูการกำหนดค่า","settings.nav.ariaLabel":"การตั้งค่า","settings.nav.back":"กลับไปที่แอป","settings.nav.data-controls":"เธรดที่เก็บถาวร","settings.nav.environments":"สภาพแวดล้อมคลาวด์","settings.nav.externalTooltip":"[อัลฟา] เปิดในเบราว์เซอร์","settings.nav.general-settings":"ทั่วไป","settings.nav.git-settings":"Git","settings.nav.local-environments":"สภาพแวดล้อม","settings.nav.mcp-settings":"เซิร์ฟเวอร์ MCP","settings.nav.notImplemented":"[อัลฟา] ไม่มีให้บริการในอัลฟา","settings.nav.personalization":"การปรับแต่งเฉพาะบุคคล","settings.nav.skills-settings":"ทักษะ","settings.nav.usage-analytics":"การใช้งานและการวิเคราะห์","settings.nav.worktrees":"เวิร์กทรี","settings.openSourceLicenses.back":"ย้อนกลับ","settings.openSourceLicenses.loading":"กำลังโหลด...","settings.openSourceLicenses.missing":"ไม่พบประกาศของบุคคลที่สาม","settings.openSourceLicenses.notSupported":"ไม่มีในโฮสต์นี้","settings.openSourceLicenses.rowDescription":"ประกาศของบุคคลที่สามเกี่ยวกับองค์ประกอบที่ขึ้นต่อกันแบบรวมชุด","settings.openSourceLicenses.rowLabel":"สัญญาอนุญาตโอเพนซอร์ส","settings.openSourceLicenses.subtitle":"ประกาศของบุคคลที่สามเกี่ยวกับองค์ประกอบที่ขึ้นต่อกันในแอปนี้","settings.openSourceLicenses.title":"สัญญาอนุญาตโอเพนซอร์ส","settings.openSourceLicenses.view":"ดู","settings.personalization.agents.description":"แก้ไขคำสั่งที่ปรับแต่ง Codex ให้เข้ากับคุณ {learnMore}","settings.personalization.agents.learnMore":"เรียนรู้เพิ่มเติม","settings.personalization.agents.loadError":"ไม่สามารถโหลด agents.md","settings.personalization.agents.loading":"กำลังโหลด agents.md...","settings.personalization.agents.placeholder":"เพิ่มคำสั่งแบบกำหนดเองของคุณ...","settings.personalization.agents.retry":"ลองใหม่","settings.personalization.agents.save":"บันทึก","settings.personalization.agents.save.error":"ไม่สามารถบันทึก agents.md","settings.personalization.agents.save.success":"บันทึก agents.md แล้ว","settings.personalization.agents.title":"คำสั่งแบบกำหนดเอง","settings.personalization.personality.description":"เลือกโทนภาษาเริ่มต้นสำหรับคำตอบของ Codex","settings.personalization.personality.label":"บุคลิก","settings.sample.contentBody":"ใช้เค้าโครงนี้เพื่อสร้างแผงการตั้งค่าของคุณที่มีการเว้นระยะที่สม่ำเสมอ","settings.sample.contentTitle":"บล็อกเนื้อหาตัวอย่าง","settings.section.account":"บัญชี","settings.section.agent":"การกำหนดค่าดูการกำหนดค่า","settings.section.data-controls":"เธรดที่เก็บถาวร","settings.section.environments":"สภาพแวดล้อมคลาวด์","settings.section.external":"เปิดในเบราว์เซอร์ของคุณในช่วงอัลฟา","settings.section.general-settings":"ทั่วไป","settings.section.git-settings":"Git","settings.section.local-environments":"สภาพแวดล้อม","settings.section.mcp-settings":"เซิร์ฟเวอร์ MCP","settings.section.mcp-settings.docs":"เอกสาร","settings.section.mcp-settings.subtitle":"เชื่อมต่อเครื่องมือและแหล่งข้อมูลภายนอก","settings.section.personalization":"การปรับแต่งเฉพาะบุคคล","settings.section.skills-settings":"ทักษะ","settings.section.unavailable":"ยังไม่มีให้บริการในอัลฟา","settings.section.usage-analytics":"การใช้งานและการวิเคราะห์","settings.section.worktrees":"เวิร์กทรี","settings.threadDetail.description":"เลือกจำนวนเอาต์พุตคำสั่งที่จะแสดงในเธรด","settings.threadDetail.label":"รายละเอียดเธรด","settings.worktrees.conversation.untitled":"บทสนทนาที่ไม่มีชื่อ","settings.worktrees.delete.error":"ลบเวิร์กทรีไม่สำเร็จ","settings.worktrees.empty.body":"เวิร์กทรีที่สร้างโดย Codex จะปรากฏที่นี่","settings.worktrees.empty.title":"ยังไม่มีเวิร์กทรี","settings.worktrees.error.body":"มีบางอย่างผิดพลาดระหว่างการโหลดเวิร์กทรี","settings.worktrees.error.retry":"ลองใหม่","settings.worktrees.error.title":"ไม่สามารถโหลดเวิร์กทรี","settings.worktrees.loading.body":"กำลังดึงรายละเอียดเวิร์กทรี","settings.worktrees.loading.title":"กำลังโหลดเวิร์กทรี","settings.worktrees.repository.loading":"กำลังโหลดเมทาดาตา Repository...","settings.worktrees.repository.unknown":"Repository ที่ไม่รู้จัก","settings.worktrees.row.conversations":"บทสนทนา","settings.worktrees.row.conversations.empty":"ไม่มีการลิงก์บทสนทนากับเวิร์กทรีนี้","settings.worktrees.row.conversations.loading":"กำลังโหลดบทสนทนา...","settings.worktrees.row.delete":"ลบ","settings.worktrees.row.title":"เวิร์กทรี","sidebarElectron.addWorkspaceRoot":"เพิ่มโครงการใหม่","sidebarElectron.archiveThread":"เก็บถาวรเธรด","sidebarElectron.archiveThreadError":"เก็บถาวรเธรดไม่สำเร็จ","sidebarElectron.collapseFolder":"ยุบโฟลเดอร์","sidebarElectron.createStableWorktree.dialog.cancel":"ยกเลิก","sidebarElectron.createStableWorktree.dialog.create":"สร้าง","sidebarElectron.debugNavLink":"ดีบัก","sidebarElectron.editWorkspaceRootOptionName":"แก้ไขชื่อ","sidebarElectron.expandFolder":"ขยายโฟลเดอร์","sidebarElectron.groupByMenu.recency":"รายการตามลำดับเวลา","sidebarElectron.groupByMenu.title":"จัดระเบียบ","sidebarElectron.groupByMenu.workspace":"ตามโครงการ","sidebarElectron.inboxRouteNavLink":"ระบบอัตโนมัติ","sidebarElectron.markThreadUnread":"ทำเครื่องหมายว่ายังไม่ได้อ่าน","sidebarElectron.missingWorkspaceRoot":"โฟลเดอร์โครงการถูกลบหรือย้ายไปแล้ว","sidebarElectron.newThread":"เธรดใหม่","sidebarElectron.newThreadInGroup":"เริ่มเธรดใหม่ใน {folder}","sidebarElectron.noRecentThreads":"ไม่มีเธรดเมื่อเร็วๆ นี้","sidebarElectron.noTasks":"ไม่มีเธรด","sidebarElectron.noTasks.start":"เพิ่มโครงการใหม่","sidebarElectron.noTasksWithFilter":"ไม่มีเธรดที่ตรงกับตัวกรอง","sidebarElectron.pinnedThreads":"เธรดที่ปักหมุด","sidebarElectron.recentNavLink":"เธรด","sidebarElectron.recentThreads":"เธรดเมื่อเร็วๆ นี้","sidebarElectron.removeWorkspaceRootOption":"ลบ","sidebarElectron.renameThread":"เปลี่ยนชื่อเธรด","sidebarElectron.renameThreadDialogAriaLabel":"หัวข้อเธรด","sidebarElectron.renameThreadDialogCancel":"ยกเลิก","sidebarElectron.renameThreadDialogPlaceholder":"เพิ่มหัวข้อ...","sidebarElectron.renameThreadDialogSave":"บันทึก","sidebarElectron.renameThreadDialogSubtitle":"ทำให้สั้นและเข้าใจง่าย","sidebarElectron.renameThreadDialogTitle":"เปลี่ยนชื่อเธรด","sidebarElectron.renameThreadError":"ไม่สามารถเปลี่ยนชื่อเธรดได้","sidebarElectron.renameWorkspaceRootOptionLabel":"ชื่อที่แสดง","sidebarElectron.showLess":"แสดงน้อยลง","sidebarElectron.showMenu.all":"เธรดทั้งหมด","sidebarElectron.showMenu.relevant":"สอดคล้อง","sidebarElectron.showMenu.relevantHint":"แสดงเฉพาะเธรดเมื่อเร็วๆ นี้ในสาขาปัจจุบัน เวิร์กทรี หรือเธรดอื่นๆ ที่คุณต้องดำเนินการ","sidebarElectron.showMenu.title":"แสดง","sidebarElectron.showMenu.tooltip":"กรอง จัดเรียง และจัดระเบียบเธรด","sidebarElectron.showMenu.trigger":"กรองเธรดในไซด์บาร์","sidebarElectron.showMore":"แสดงเพิ่ม","sidebarElectron.skillsRouteNavLink":"ทักษะ","sidebarElectron.sortMenu.created":"สร้างเมื่อ","sidebarElectron.sortMenu.title":"จัดเรียงตาม","sidebarElectron.sortMenu.updated":"อัปเดตแล้ว","sidebarElectron.taskNavigation":"โฟลเดอร์ระบบอัตโนมัติ","sidebarElectron.tasksInFolder":"ระบบอัตโนมัติใน {folder}","sidebarElectron.workspaceOptions":"การดำเนินงานของโครงการสำหรับ {folder}","sidebarElectron.worktreeGroupTooltip":"นี่เป็นเวิร์กทรี git","skills.appsPage.createSkill":"ทักษะใหม่","skills.appsPage.empty.skills":"ไม่พบทักษะ","skills.appsPage.search.skills":"ค้นหาทักษะ","skills.appsPage.search.skills.label":"ค้นหาทักษะ","skills.appsPage.section.installedApps":"ติดตั้งแล้ว","skills.appsPage.section.skills":"ทักษะ","skills.appsPage.subheading":"เพิ่มศักยภาพให้ Codex<link>เรียนรู้เพิ่มเติม</link>","skills.appsPage.tab.recommended":"แนะนำ","skills.appsPage.tab.skills":"ทักษะ","skills.card.contentsError":"ไม่สามารถโหลดเนื้อหาทักษะ","skills.card.disable":"ปิดการใช้งาน","skills.card.disableSuccess":"ปิดใช้งานทักษะ {skillName} แล้ว","skills.card.disabledBadge":"ปิดการใช้งานอยู่","skills.card.enable":"เปิดการใช้งาน","skills.card.enableSuccess":"เปิดใช้งานทักษะ {skillName} แล้ว","skills.card.loadingContents":"กำลังโหลดเนื้อหาทักษะ...","skills.card.more":"การกระทำเพิ่มเติม","skills.card.open":"เปิด","skills.card.removeFailed":"ถอนการติดตั้งทักษะไม่สำเร็จ","skills.card.removeSuccess":"ถอนการติดตั้งทักษะ {skillName} แล้ว","skills.card.toggleEnabledError":"อัปเดตทักษะไม่สำเร็จ","skills.card.try":"ลองใช้","skills.card.trySkill":"ลองทักษะ","skills.card.uninstall":"ถอนการติดตั้ง","skills.hero.dotLabel":"ไปที่สไลด์ {index}","skills.hero.next":"ทักษะที่แนะนำถัดไป","skills.hero.trySkill":"ลองทักษะ","skills.page.createSkill":"ทักษะใหม่","skills.page.empty":"ไม่พบทักษะ","skills.page.filteredEmpty":"ไม่มีทักษะที่ตรงกับตัวกรองของคุณ","skills.page.filteredEmptyDescription":"ลองปรับการค้นหาหรือขอบเขตของตัวกรอง","skills.page.heading":"ทักษะ","skills.page.loading":"กำลังโหลดทักษะ...","skills.page.refreshSkills":"รีเฟรช","skills.page.refreshSkillsToUseNew":"รีเฟรชเพื่อใช้ทักษะใหม่","skills.page.search":"ค้นหาทักษะ","skills.page.search.label":"ค้นหาทักษะ","skills.page.subheading":"เพิ่มศักยภาพให้ Codex<link>เรียนรู้เพิ่มเติม</link>","skills.preview.copyPrompt":"คัดลอกคำสั่ง","skills.preview.examplePrompt":"คำสั่งตัวอย่าง","skills.recommended.error":"ไม่สามารถโหลดทักษะที่แนะนำได้","skills.recommended.install":"ติดตั้ง","skills.recommended.installSkill":"ติดตั้งทักษะ","skills.recommended.installSuccess":"ติดตั้งทักษะ {skillName} แล้ว","skills.recommended.installed":"ติดตั้งแล้ว","skills.scope.admin":"ผู้ดูแล","skills.scope.adminInstalled":"ติดตั้งโดยผู้ดูแล","skills.scope.builtIn":"ระบบ","skills.scope.personal":"ส่วนบุคคล","skills.scope.repo":"คลังโค้ด","skills.scope.system":"ระบบ","skills.scope.team":"ทีม","skills.scope.user":"ผู้ใช้","skills.section.installed":"ติดตั้งแล้ว","skills.section.recommended":"แนะนำ","story.slidingToggle.existing":"ที่มีอยู่","story.slidingToggle.fromLocal":"จากในเครื่อง","story.slidingToggle.new":"ใหม่","story.slidingToggle.toLocal":"ไปที่ในเครื่อง","terminal.close":"ปิดเทอร์มินัล","terminal.title":"เทอร์มินัล","thinkingShimmer.default":"กำลังคิด","threadEnvIcon.cloudTooltip":"การสนทนานี้กำลังรันใน Codex Cloud","threadEnvIcon.localTooltip":"บทสนทนานี้กำลังรันภายในเครื่อง","threadEnvIcon.worktreeTooltip":"การสนทนานี้กำลังทำงานในเวิร์กทรี Git ในเครื่อง","threadHeader.archiveConfirmCancel":"ยกเลิก","threadHeader.archiveConfirmConfirm":"เก็บถาวร","threadHeader.archiveConfirmSubtitle":"คุณสามารถกลับมาดูภายหลังได้ในเธรดที่เก็บถาวร","threadHeader.archiveConfirmTitle":"จะเก็บถาวรเธรดใช่หรือไม่","threadHeader.copyAppLink":"คัดลอก Deeplink","threadHeader.copySessionId":"คัดลอก ID เซสชัน","threadHeader.copyWorkingDirectory":"คัดลอกไดเรกทอรีที่ใช้งานอยู่","threadHeader.forkIntoLocal":"ฟอร์กเข้าไปในเครื่อง","threadHeader.forkIntoWorktree":"ฟอร์กเข้าไปในเวิร์กทรีใหม่","threadHeader.forkPendingWorktreePrompt":"ฟอร์กบทสนทนานี้เข้าไปในเวิร์กทรีใหม่","threadHeader.forkPendingWorktreeTitle":"ฟอร์กบทสนทนาแล้ว","threadHeader.forkThreadError":"ฟอร์กเธรดไม่สำเร็จ","threadHeader.forkThreadRequiresGitRepo":"การฟอร์กเข้าไปในเวิร์กทรีใหม่ต้องใช้ git Repository","threadHeader.moreActions":"การกระทำของเธรด","threadPage.newThread":"เธรดใหม่","threadPage.runAction.changeEnvironment":"เปลี่ยนสภาพแวดล้อม","threadPage.runAction.dropdown.titleWithEnvironment":"การดำเนินการสำหรับ {environmentName}","threadPage.runAction.environmentSelector.label":"เลือกสภาพแวดล้อม","threadPage.runAction.label":"รัน","threadPage.runAction.missing.label":"ตั้งค่าการรัน","threadPage.runAction.setup.commandLabel":"คำสั่งที่จะรัน","threadPage.runAction.setup.description":"บอกวิธีติดตั้งองค์ประกอบที่ขึ้นต่อกันกับ Codex แล้วเริ่มแอปของคุณ","threadPage.runAction.setup.editMore":"การตั้งค่าสภาพแวดล้อม","threadPage.runAction.setup.placeholder":"ตัวอย่าง: npm install npm run","threadPage.runAction.setup.submit":"บันทึกและรัน","threadPage.runAction.setup.title":"รัน","threadPage.runAction.tooltip.withEnvironment":"การดำเนินการสำหรับ {environmentName}","threadPage.toggleDiffPanel":"สลับหน้าต่างการเปรียบเทียบ","threadPage.toggleTerminal":"สลับเทอร์มินัล","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"เปิดโฟลเดอร์","toolSummaryForCmd.exploredFiles":"<verb>แสดงรายการ</verb>ไฟล์แล้ว","toolSummaryForCmd.exploredFilesInPath":"<verb>แสดงรายการ</verb>ไฟล์ใน {path} แล้ว","toolSummaryForCmd.exploringFiles":"<verb>กำลังแสดงรายการ</verb>ไฟล์","toolSummaryForCmd.exploringFilesInPath":"<verb>กำลังแสดงรายการ</verb>ไฟล์ใน {path}","toolSummaryForCmd.ranGenericCommand":"<status>รันคอมมานด์แล้ว</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>รันแล้ว</status> {command}{timer}","toolSummaryForCmd.read":"<verb>อ่าน</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>กำลังรันคอมมานด์</status>{timer}","toolSummaryForCmd.runningTimer":"สำหรับ {elapsed}","toolSummaryForCmd.searchedFor":"<verb>ค้นหา</verb> {query} แล้ว","toolSummaryForCmd.searchedForFiles":"<verb>ค้นหา</verb>ไฟล์แล้ว","toolSummaryForCmd.searchedForInPath":"<verb>ค้นหา</verb> {query} ใน {path} แล้ว","toolSummaryForCmd.searchingFor":"<verb>กำลังค้นหา</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>กำลังค้นหา</verb>ไฟล์","toolSummaryForCmd.searchingForInPath":"<verb>กำลังค้นหา</verb> {query} ใน {path}","traceRecording.details.noteLabel":"คุณกำลังทำอะไรอยู่ตอนที่เกิดเหตุการณ์นี้ (ไม่บังคับ)","traceRecording.details.notePlaceholder":"ไปที่เธรดขนาดใหญ่ จากนั้นก็เปลี่ยนแท็บซ้ำหลายครั้ง...","traceRecording.details.submit":"ส่งข้อมูลติดตามย้อนกลับ","traceRecording.details.subtitle":"เราสามารถส่งข้อมูลติดตามย้อนกลับของโปรไฟล์นี้เพื่อช่วยวินิจฉัยปัญหาการทำงาน","traceRecording.details.title":"ส่งข้อมูลติดตามย้อนกลับโปรไฟล์ไหม","traceRecording.progress.subtitle":"เปิด Codex ไว้ขณะดำเนินการนี้","traceRecording.saving.title":"กำลังบันทึกข้อมูลติดตามย้อนกลับ...","traceRecording.startDetails.cancel":"ยกเลิก","traceRecording.startDetails.submit":"ตกลง เริ่มบันทึก","traceRecording.startDetails.subtitle":"หลังจากคลิกตกลง ให้จำลองปัญหาการทำงานขึ้นมาใหม่ แล้วคลิกสัญลักษณ์สีแดงที่ลอยอยู่เพื่อหยุดและตรวจสอบข้อมูลติดตามย้อนกลับ","traceRecording.startDetails.title":"วิธีทำงานของการบันทึกข้อมูลติดตามย้อนกลับ","traceRecording.stopButton.ariaLabel":"หยุดการบันทึกข้อมูลติดตามย้อนกลับ","traceRecording.upload.successToast":"ส่งข้อมูลติดตามย้อนกลับของโปรไฟล์แล้ว","traceRecording.uploading.title":"กำลังอัปโหลดข้อมูลติดตามย้อนกลับ...","wham.diff.addComment":"เพิ่มความคิดเห็น","wham.diff.binaryFile":"ไฟล์ไบนารีไม่ปรากฏ","wham.diff.noContent":"ไม่มีเนื้อหา","wham.fileTag.deleted":"ลบแล้ว","wham.fileTag.new":"ใหม่","wham.formattedRelativeDateTime.compactDaysAgo":"{value} วัน","wham.formattedRelativeDateTime.compactHoursAgo":"{value} ชม.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} นาที","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} เดือน","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} สัปดาห์","wham.formattedRelativeDateTime.compactYearsAgo":"{value} ปี","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"กำลังเตรียมงานของคุณ","wham.whamProposedTask.title":"งานที่แนะนำ","wham.whamProposedTask.useSuggestion":"ใช้คำแนะนำ","workspaceRootDialog.addError":"เพิ่มโครงการไม่สำเร็จ","workspaceRootDialog.cancel":"ยกเลิก","workspaceRootDialog.confirmAdd":"เพิ่มโครงการ","workspaceRootDialog.confirmPick":"ใช้โครงการ","workspaceRootDialog.description":"ป้อนพาธใน {host} ที่จะใช้กับโครงการ","workspaceRootDialog.pathLabel":"พาธโครงการ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"เพิ่มพาธโครงการ","workspaceRootDialog.title.pick":"เลือกพาธโครงการ","worktreeInitV2.cancel":"ยกเลิก","worktreeInitV2.notification.failedTitle":"ตั้งค่าเวิร์กทรีไม่สำเร็จ","worktreeInitV2.output.empty":"กำลังรอเอาต์พุต...","worktreeInitV2.status.error":"ตั้งค่าเวิร์กทรีไม่สำเร็จ","worktreeInitV2.status.running":"กำลังสร้างเวิร์กทรีและรันสคริปต์","worktreeInitV2.status.runningFork":"กำลังสร้างเวิร์กทรีเพื่อฟอร์กบทสนทนานี้","worktreeInitV2.status.success":"เวิร์กทรีพร้อมแล้ว","worktreeInitV2.title":"กำลังสร้างเวิร์กทรี","worktreeInitV2.workLocallyInstead":"ทำงานภายในเครื่องแทน","worktreeRestoreBanner.body":"เวิร์กทรีของเธรดนี้ถูกลบออกเพื่อประหยัดพื้นที่ในดิสก์","worktreeRestoreBanner.missing.body":"ไดเรกทอรีที่ใช้งานอยู่ของเธรดนี้ไม่มีอยู่แล้ว","worktreeRestoreBanner.missing.title":"ไดเรกทอรีที่ใช้งานอยู่ในปัจจุบันหายไป","worktreeRestoreBanner.restore.error":"กู้คืนเวิร์กทรีไม่สำเร็จ: {message}","worktreeRestoreBanner.restore.success":"กู้คืนเวิร์กทรีแล้ว","worktreeRestoreBanner.restoreCta":"กู้คืนเวิร์กทรี","worktreeRestoreBanner.title":"ล้างเวิร์กทรีแล้ว"};export{e as default};
+const e={"CopyButton.copyTooltip":"คัดลอก","app.sidebar.hide":"ซ่อนไซด์บาร์","app.sidebar.show":"แสดงไซด์บาร์","app.sidebar.tooltip":"สลับเปิดปิดไซด์บาร์","appHeader.installUpdate":"อัปเดต","appSunset.body":"ไม่รองรับแอปเวอร์ชันนี้อีกต่อไป โปรดดาวน์โหลดเวอร์ชันล่าสุด<here>ที่นี่</here>","appSunset.title":"จำเป็นต้องอัปเดต","automation.updateDirective.create":"สร้าง","automation.updateDirective.open":"เปิด","automation.updateDirective.untitled":"ระบบอัตโนมัติที่ไม่มีชื่อ","automation.updateDirective.update":"อัปเดต","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {ความพยายาม # ครั้ง}}","cloudTaskRow.archiveError":"เก็บถาวรงานไม่สำเร็จ","code.diff.requestChange":"ขอการเปลี่ยนแปลง","code.diffComment.cancel":"ยกเลิก","code.diffComment.comment":"ความคิดเห็น","code.diffComment.delete":"ลบ","code.diffComment.save":"บันทึก","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"ไม่มีการรายงานผลลัพธ์","codex.alert.closeAriaLabel":"ปิด","codex.appUpsellBanner.cbpApi.message":"สร้างได้เร็วขึ้นด้วยแอป Codex ดาวน์โหลดตอนนี้หรือ{learnMoreLink}","codex.appUpsellBanner.download":"ดาวน์โหลด","codex.appUpsellBanner.freeGo.message":"Codex รวมอยู่ในบริการของคุณจนถึงวันที่ 2 มีนาคม ลองใช้แอป Codex เพื่อการสร้างที่เร็วขึ้น","codex.appUpsellBanner.later":"ไว้ทีหลัง","codex.appUpsellBanner.learnMoreLowercase":"เรียนรู้เพิ่มเติม","codex.appUpsellBanner.new":"ใหม่","codex.appUpsellBanner.proPlusBusiness.message":"ลองใช้แอป Codex พร้อมขีดจำกัดอัตรา 2 เท่าจนถึงวันที่ 2 เมษายน ดาวน์โหลดตอนนี้หรือ{learnMoreLink}","codex.appUpsellBanner.title":"แอป Codex","codex.applyDropdown.header.changes":"การเปลี่ยนแปลง","codex.applyDropdown.header.fileCount":"{count, plural, other {# ไฟล์}}","codex.applyDropdown.header.rows":"แถว","codex.applyDropdown.header.title":"นำการเปลี่ยนแปลงไปใช้","codex.applyDropdown.header.workspace":"โครงการ","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} ไฟล์ที่ขัดแย้งกัน:}}","codex.applyDropdown.results.empty":"ไม่มีการคัดลอกไฟล์ใดๆ","codex.applyDropdown.results.skipped":"{count, plural, other {{count} ไฟล์ที่ข้าม:}}","codex.applyOrRevertBanner.apply":"ใช้","codex.applyOrRevertBanner.applyMessage":"จะใช้การเปลี่ยนแปลงแล้วดำเนินการต่อภายในใช่หรือไม่","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"งานนี้ถูกสร้างขึ้นใน {environment} จึงอาจไม่สามารถนำไปใช้ได้อย่างสมบูรณ์","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"การเปลี่ยนแปลงทำขึ้นใน {environment} จึงอาจไม่สามารถนำไปใช้ได้อย่างสมบูรณ์","codex.applyOrRevertBanner.reapply":"ใช้อีกครั้ง","codex.applyOrRevertBanner.revert":"ย้อนกลับ","codex.applyOrRevertBanner.revertMessage":"จะยกเลิกการเปลี่ยนแปลงที่ทำไปแล้วใช่หรือไม่","codex.applyResultsDialog.applied":"นำไปใช้อย่างสมบูรณ์ ({count})","codex.applyResultsDialog.close":"ปิด","codex.applyResultsDialog.conflicted":"ขัดแย้งกัน ({count})","codex.applyResultsDialog.noDetails":"ไม่มีรายละเอียดไฟล์","codex.applyResultsDialog.skipped":"ข้ามแล้ว ({count})","codex.applyResultsDialog.title":"ใช้ผลลัพธ์","codex.archiveInfo":"ดูแชตที่เก็บถาวรใน {dataControlsLink}","codex.archiveInfo.dataControlsLink":"การควบคุมข้อมูล","codex.archiveInfo.electron":"ดูแชตที่เก็บถาวรใน {settingsLink}","codex.archiveInfo.extension":"ดูแชตที่เก็บถาวรในโฟลเดอร์ .codex","codex.archiveInfo.settingsLink":"การตั้งค่า","codex.banner.content.description":"รันงานแบบคู่ขนาน ติดตามความคืบหน้าจากทุกที่ และตรวจสอบ PR ด้วย AI","codex.banner.content.headline":"Codex ทำได้ทั้งหมด","codex.cloudTaskRow.archiveTask":"เก็บถาวรงาน","codex.cloudTaskRow.confirmArchiveTask":"ยืนยัน","codex.command.feedback":"ข้อเสนอแนะ","codex.command.findInThread":"ค้นหา","codex.command.forceReloadSkills":"บังคับโหลดทักษะซ้ำ","codex.command.logOut":"ลงชื่อออก","codex.command.manageTasks":"จัดการงาน","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"ย้อนกลับ","codex.command.navigateForward":"ไปข้างหน้า","codex.command.newThread":"เธรดใหม่","codex.command.nextThread":"เธรดถัดไป","codex.command.openFolder":"เปิดโฟลเดอร์","codex.command.openSkills":"ไปที่ทักษะ","codex.command.openThreadOverlay":"เปิดหน้าต่างเธรด","codex.command.personalitySettings":"บุคลิก","codex.command.previousThread":"เธรดก่อนหน้า","codex.command.settings":"การตั้งค่า","codex.command.toggleDiffPanel":"สลับหน้าต่างการเปรียบเทียบ","codex.command.toggleSidebar":"สลับเปิดปิดไซด์บาร์","codex.command.toggleTerminal":"สลับเทอร์มินัล","codex.commandGroup.app":"แอป","codex.commandGroup.configure":"กำหนดค่า","codex.commandGroup.navigation":"การนำทาง","codex.commandGroup.panels":"แผง","codex.commandGroup.skills":"ทักษะ","codex.commandGroup.thread":"เธรด","codex.commandGroup.workspace":"โครงการ","codex.commandMenu.noResults":"ไม่มีรายการที่ตรงกัน","codex.commandMenu.searchPlaceholder":"ค้นหาคำสั่ง","codex.commandMenu.suggestedGroup":"ที่แนะนำ","codex.commandMenu.switchWorkspace":"สลับโครงการ","codex.commandMenu.title":"เมนูคำสั่ง","codex.common.retry":"ลองใหม่","codex.composer.searchBranches":"ค้นหาสาขา","codex.dialog.basic.body":"นี่คือหน้าต่างข้อความแบบเรียบง่ายที่ใช้โค้ด Wrapper ของเราครอบ Radix Dialog ไว้","codex.dialog.basic.cancel":"ยกเลิก","codex.dialog.basic.confirm":"ยืนยัน","codex.dialog.basic.open":"เปิดหน้าต่างข้อความ","codex.dialog.basic.title":"ตัวอย่างหน้าต่างข้อความ","codex.dialog.long.close":"ปิด","codex.dialog.long.line":"บรรทัดแบบเลื่อนได้ {index} เพื่อแสดงเนื้อหาขนาดยาวในหน้าต่างข้อความ","codex.dialog.long.open":"เปิดหน้าต่างข้อความขนาดยาว","codex.dialog.long.title":"หน้าต่างแบบเนื้อหายาว","codex.dialog.unstyled.body":"เรื่องราวนี้แสดงถึงวิธีการควบคุมการจัดแต่งสไตล์เนื้อหาในหน้าต่างโต้ตอบอย่างเต็มที่โดยผู้ใช้","codex.dialog.unstyled.open":"เปิดหน้าต่างข้อความที่ไม่มีการจัดแต่งสไตล์","codex.dialog.unstyled.title":"เนื้อหาที่ไม่มีการจัดแต่งสไตล์","codex.diff.openInEditorPrompt.openButton":"เปิดในเครื่องมือแก้ไข","codex.diff.openInEditorPrompt.singleLine":"ไฟล์นี้มีขนาดใหญ่เกินกว่าที่จะแสดงที่นี่","codex.diffView.failedToDecodeBase64Diff":"ถอดรหัสเปรียบเทียบ base64 ไม่สำเร็จ","codex.diffView.filesChanged":"{fileCount, plural, other {# ไฟล์มีการเปลี่ยนแปลง}}","codex.diffView.imagePreviewAlt":"ตัวอย่างภาพ","codex.diffView.imagePreviewEmpty":"ไม่มีภาพ","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"ไม่มีข้อมูลเทียบความแตกต่าง","codex.diffView.pdfPreview.nextPage":"หน้าถัดไป","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"หน้าที่แล้ว","codex.diffView.pdfPreviewEmpty":"ไม่มีตัวอย่าง PDF","codex.diffView.pdfPreviewError":"ไม่สามารถเรนเดอร์ตัวอย่าง PDF","codex.diffView.richPreviewDisable":"ปิดการใช้งานการดูตัวอย่างแบบละเอียด","codex.diffView.richPreviewEnable":"เปิดการใช้งานการดูตัวอย่างแบบละเอียด","codex.diffView.richPreviewLoading":"กำลังโหลดตัวอย่าง...","codex.diffView.richPreviewToggle":"สลับเปิดปิดการดูตัวอย่างแบบละเอียด","codex.diffView.switchToUnified":"สลับเป็นการเปรียบเทียบความแตกต่างแบบรวม","codex.environmentSelector.noEnvironment":"ไม่มีสภาพแวดล้อม","codex.environments.environmentSettings":"การตั้งค่าสภาพแวดล้อม","codex.environments.learnMore":"เรียนรู้เพิ่มเติม","codex.environments.listError":"โหลดสภาพแวดล้อมไม่สำเร็จ","codex.environments.noEnvironmentsFound":"ไม่พบสภาพแวดล้อม","codex.environments.searchError":"ค้นหาสภาพแวดล้อมไม่สำเร็จ","codex.errorBoundary.genericError":"โอ๊ะ เกิดข้อผิดพลาดขึ้น","codex.errorBoundary.goHome":"ลองอีกครั้ง","codex.file.patch.missing":"ไม่สามารถสร้างแพตช์สำหรับไฟล์นี้","codex.gallery.automations.cwdLabel":"โครงการ","codex.gallery.automations.nameLabel":"ชื่อ","codex.gallery.automations.namePlaceholder":"สรุปงาน","codex.gallery.automations.promptLabel":"คำสั่ง","codex.gallery.automations.promptPlaceholder":"อธิบายสิ่งที่ Codex ควรทำ","codex.gallery.dialogs.automation.label":"หน้าต่างตั้งค่าการทำงานอัตโนมัติ","codex.gallery.dialogs.basic.body":"ใช้เค้าโครงนี้กับการยืนยันที่ตรงไปตรงมาหรือแบบฟอร์มสั้นๆ","codex.gallery.dialogs.basic.cancel":"ยกเลิก","codex.gallery.dialogs.basic.confirm":"ยืนยัน","codex.gallery.dialogs.basic.label":"หน้าต่างโต้ตอบพื้นฐาน","codex.gallery.dialogs.basic.title":"หน้าต่างโต้ตอบตัวอย่าง","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"อธิบายปัญหา","codex.gallery.dialogs.feedbackSubmission.bad":"ผลลัพธ์ไม่ดี","codex.gallery.dialogs.feedbackSubmission.bug":"บั๊ก","codex.gallery.dialogs.feedbackSubmission.good":"ผลลัพธ์ดี","codex.gallery.dialogs.feedbackSubmission.includeLogs":"ใส่บันทึกเซสชัน Codex ปัจจุบันไปด้วย","codex.gallery.dialogs.feedbackSubmission.label":"การส่งข้อเสนอแนะ","codex.gallery.dialogs.feedbackSubmission.other":"อื่นๆ","codex.gallery.dialogs.feedbackSubmission.placeholder":"อธิบายปัญหาที่นี่","codex.gallery.dialogs.feedbackSubmission.submit":"ส่ง","codex.gallery.dialogs.feedbackSubmission.title":"ข้อเสนอแนะ","codex.gallery.dialogs.feedbackSuccess.body":"อัปโหลดข้อเสนอแนะแล้ว หากปัญหายังคงอยู่ โปรดประเด็นบน GitHub หรือกล่าวถึง ID เธรดในประเด็นที่เปิดอยู่:","codex.gallery.dialogs.feedbackSuccess.dismiss":"เลิก","codex.gallery.dialogs.feedbackSuccess.label":"ส่งข้อเสนอแนะสำเร็จ","codex.gallery.dialogs.feedbackSuccess.title":"อัปโหลดข้อเสนอแนะแล้ว","codex.gallery.dialogs.gitApplyResults.applied":"นำไปใช้อย่างสมบูรณ์ (2)","codex.gallery.dialogs.gitApplyResults.close":"ปิด","codex.gallery.dialogs.gitApplyResults.conflicted":"ขัดแย้งกัน: (1)","codex.gallery.dialogs.gitApplyResults.label":"ใช้ผลลัพธ์","codex.gallery.dialogs.gitApplyResults.title":"ใช้ผลลัพธ์","codex.gallery.dialogs.gitPushError.body":"ดึงการเปลี่ยนแปลงล่าสุดหรือบังคับพุชหากแน่ใจว่าสามารถเขียนทับประวัติระยะไกลได้อย่างปลอดภัย","codex.gallery.dialogs.gitPushError.cancel":"ยกเลิก","codex.gallery.dialogs.gitPushError.force":"บังคับพุช","codex.gallery.dialogs.gitPushError.label":"ข้อผิดพลาดในการพุช","codex.gallery.dialogs.gitPushError.subtitle":"สาขาของคุณอยู่หลังสาขาต้นทาง/สาขาหลัก","codex.gallery.dialogs.gitPushError.title":"พุชการเปลี่ยนแปลงไม่สำเร็จ","codex.gallery.dialogs.gitRevert.cancel":"ยกเลิก","codex.gallery.dialogs.gitRevert.confirm":"ย้อนกลับ","codex.gallery.dialogs.gitRevert.label":"ย้อนกลับการเปลี่ยนแปลง","codex.gallery.dialogs.gitRevert.skip":"ไม่ต้องถามอีก","codex.gallery.dialogs.gitRevert.subtitle":"การดำเนินการจะลบการเปลี่ยนแปลงเหล่านี้ทั้งหมด","codex.gallery.dialogs.gitRevert.title":"ย้อนกลับการเปลี่ยนแปลงหรือไม่","codex.gallery.dialogs.longForm.label":"หน้าต่างโต้ตอบแบบฟอร์มขนาดยาว","codex.gallery.dialogs.proseModal.body":"สไตล์โมดัลนี้ใช้กับคำสั่งที่ยาว การเตรียมความพร้อม หรือบล็อกเนื้อหาที่มีองค์ประกอบหลากหลาย","codex.gallery.dialogs.proseModal.close":"ปิด","codex.gallery.dialogs.proseModal.subtitle":"แบ่งปันคำแนะนำแบบยาวหรือเอกสารที่นี่","codex.gallery.dialogs.proseModal.title":"โมดัลข้อความธรรมดา","codex.gallery.dialogs.submitBlocked.label":"การส่งถูกบล็อก","codex.gallery.dialogs.submitBlocked.message":"ไม่สามารถส่งข้อความของคุณได้เนื่องจากโครงการไม่สามารถใช้งานได้","codex.gallery.dialogs.submitBlocked.ok":"ตกลง","codex.gallery.dialogs.submitBlocked.title":"ไม่สามารถส่งข้อความได้","codex.gallery.dialogs.title":"หน้าต่างโต้ตอบ","codex.gallery.dropdown.filterPlaceholder":"กรองรายการ","codex.gallery.dropdowns.actionRow":"แถวการดำเนินการ","codex.gallery.dropdowns.actionRow.disabled":"การดำเนินการที่ถูกปิดการใช้งาน","codex.gallery.dropdowns.actionRow.primary":"การดำเนินการหลัก","codex.gallery.dropdowns.actionRow.secondary":"การกระทำรอง","codex.gallery.dropdowns.actionRow.trigger":"แสดงการดำเนินการ","codex.gallery.dropdowns.basic":"ดร็อปดาวน์พื้นฐาน","codex.gallery.dropdowns.basic.newFile":"ไฟล์ใหม่","codex.gallery.dropdowns.basic.newFolder":"โฟลเดอร์ใหม่","codex.gallery.dropdowns.basic.openSettings":"เปิดการตั้งค่า","codex.gallery.dropdowns.basic.title":"การดำเนินการแบบเร็ว","codex.gallery.dropdowns.basic.trigger":"เปิดเมนู","codex.gallery.dropdowns.basic.upload":"อัปโหลด","codex.gallery.dropdowns.panel":"พื้นผิวของแผง","codex.gallery.dropdowns.panel.apply":"ใช้","codex.gallery.dropdowns.panel.body":"ตรวจสอบการเปรียบเทียบและนำไปใช้กับโครงการของคุณ","codex.gallery.dropdowns.panel.preview":"ดูตัวอย่าง","codex.gallery.dropdowns.panel.title":"นำการเปลี่ยนแปลงไปใช้","codex.gallery.dropdowns.panel.trigger":"เปิดแผง","codex.gallery.dropdowns.search":"ดร็อปดาวน์ที่ค้นหาได้","codex.gallery.dropdowns.search.first":"ช่องอัลฟา","codex.gallery.dropdowns.search.second":"สาขาเบตา","codex.gallery.dropdowns.search.third":"เวอร์ชันเตรียมเผยแพร่","codex.gallery.dropdowns.search.trigger":"กรองรายการ","codex.gallery.dropdowns.submenu":"ดร็อปดาวน์แบบมีเมนูย่อย","codex.gallery.dropdowns.submenu.optionA":"โครงการอัลฟา","codex.gallery.dropdowns.submenu.optionB":"โครงการเบตา","codex.gallery.dropdowns.submenu.optionC":"โครงการแกมมา","codex.gallery.dropdowns.submenu.primary":"กำหนดเจ้าของ","codex.gallery.dropdowns.submenu.secondary":"ย้ายไปยัง","codex.gallery.dropdowns.submenu.tertiary":"เก็บถาวร","codex.gallery.dropdowns.submenu.trigger":"เลือกการกระทำ","codex.gallery.dropdowns.title":"ดร็อปดาวน์","codex.gallery.inbox.automations.close":"ปิด","codex.gallery.inbox.automations.popover.cardTitle":"จัดการระบบอัตโนมัติ","codex.gallery.inbox.automations.popover.dialogTitle":"จัดการระบบอัตโนมัติ","codex.header.settingsTooltip":"การตั้งค่า","codex.hunk.patch.error":"เตรียมไม่สำเร็จ","codex.hunk.patch.missing":"ไม่สามารถสร้างแพทช์สำหรับฮังก์นี้ได้","codex.hunk.patch.partialSuccess":"สำเร็จบางส่วน","codex.hunk.patch.revertError":"เลิกเตรียมไม่สำเร็จ","codex.hunk.patch.revertSuccess":"เลิกเตรียมสำเร็จแล้ว","codex.hunk.patch.success":"เตรียมสำเร็จแล้ว","codex.legal.autonomy.details":"หากต้องการข้อมูลเพิ่มเติม โปรดดู{link}","codex.legal.autonomy.details.link":"เอกสาร Codex","codex.legal.autonomy.title":"ตัดสินใจว่าคุณจะให้สิทธิ์มากแค่ไหน","codex.legal.backButton":"ย้อนกลับ","codex.legal.cloud.taskOne.meta":"openai/agi · 12 ตุลาคม","codex.legal.cloud.taskOne.title":"อธิบายคลังทรัพยากรให้กับนักออกแบบรายใหม่","codex.legal.cloud.taskThree.meta":"openai/codex · 8 ตุลาคม","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"สร้างธีมในโหมดมืด","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 ตุลาคม","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"แก้ไขบั๊กของการเตรียมความพร้อม","codex.legal.continue.apikey":"ต่อไป","codex.legal.continueButton":"ถัดไป","codex.legal.copilot.details":"ใช้บริการ Copilot ของคุณสำหรับการเรียกใช้โมเดล การเรียกเก็บเงิน และอัตราจำกัดทั้งหมด ทั้งนี้การใช้ส่วนขยาย Codex ต้องเป็นไปตามทั้ง {oaiTos} และ {gitHubTos}","codex.legal.copilot.gitHubTosLink":"ข้อกำหนดการให้บริการของ GitHub","codex.legal.copilot.oaiTosLink":"ข้อกำหนดการให้บริการของ OpenAI Codex","codex.legal.copilot.title":"ขับเคลื่อนโดย GitHub Copilot","codex.legal.mistakes.review":"ตรวจสอบโค้ดที่เขียนและคำสั่งที่รัน","codex.legal.mistakes.title":"Codex อาจผิดพลาดได้","codex.legal.powered.details":"ใช้อัตราจำกัดตามบริการที่คุณใช้และ {link}","codex.legal.powered.details.link":"การตั้งค่าข้อมูลที่ใช้ฝึกสอน","codex.legal.powered.title":"ขับเคลื่อนโดยบัญชี ChatGPT ของคุณ","codex.legal.step.cloud.subtitle":"ส่งงานไปยัง Codex เพื่อรันในพื้นหลังเพื่อให้คุณจดจ่อกับสิ่งที่ทำอยู่และคืบหน้าเร็วขึ้น","codex.legal.step.cloud.title":"ส่งให้กับ Codex ในคลาวด์","codex.legal.step.intro.subtitle":"Codex จะนำทาง แก้ไข รันคำสั่ง และทำการทดสอบโดยตรงในคลังโค้ดของคุณ ขับเคลื่อนโดยบัญชี ChatGPT ของคุณ","codex.legal.step.intro.title":"Codex ใน IDE ของคุณ","codex.legal.step.todo.subtitle":"เขียนคอมเมนต์ TODO แล้วแปลงเป็นงาน Codex ในคลิกเดียว","codex.legal.step.todo.title":"เปลี่ยน TODO เป็นงาน Codex","codex.legal.todo.heading":"// TODO: นำ schema ไปใช้","codex.localConversation.closeImagePreview":"ปิดตัวอย่างภาพ","codex.localConversation.userImageAttachment":"ไฟล์แนบของผู้ใช้","codex.localTaskRow.archiveTask":"เก็บถาวรเธรด","codex.localTaskRow.awaitingApproval":"รอการอนุมัติ","codex.localTaskRow.awaitingResponse":"กำลังรอคำตอบ","codex.localTaskRow.confirmArchiveTask":"ยืนยัน","codex.loggedOut.apiKeyPrompt.cancel":"ยกเลิก","codex.loggedOut.apiKeyPrompt.confirm":"ตกลง","codex.loggedOut.apiKeyPrompt.getKey":"รับคีย์ API","codex.loggedOut.apiKeyPrompt.inputLabel":"ป้อนคีย์ API สำหรับ OpenAI ของคุณ","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"ปิดการใช้งานงานบนคลาวด์ด้วยคีย์ API แล้ว","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"ปิดการใช้งานงานบนคลาวด์ด้วย Copilot และคีย์ API แล้ว","codex.loggedOut.signIn":"ลงชื่อเข้าใช้ด้วย ChatGPT","codex.loggedOut.signIn.cancel":"ยกเลิกการลงชื่อเข้าใช่","codex.loggedOut.signInWithCopilot":"ลงชื่อเข้าใช้ด้วย GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"ใช้คีย์ API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"เครื่องมือ {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"เรียกใช้แล้ว","codex.mcpTool.collapsedLabel.verb.calling":"กำลังเรียกใช้","codex.mcpTool.embeddedResource.contentLabel":"เนื้อหา","codex.mcpTool.embeddedResource.mimeTypeLabel":"ประเภท MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"เครื่องมือไม่ได้ส่งค่าข้อมูลกลับมา","codex.mcpTool.rawPayloadHeading":"เพย์โหลดการเรียกเครื่องมือ {tool} {server} ดิบ","codex.menu.recent":"ก่อนหน้านี้","codex.menu.seeAllHistory":"ดูประวัติทั้งหมด","codex.modelCapacityBanner.headline.noReset":"{modelName} ทำงานเต็มขีดความสามารถแล้วในขณะนี้ โปรดลองอีกครั้งในภายหลัง หรือเริ่มบทสนทนาใหม่โดยใช้โมเดลอื่น","codex.modelCapacityBanner.headline.withReset":"{modelName} ทำงานเต็มขีดความสามารถแล้วในขณะนี้ โปรดลองอีกครั้งหลังจาก {resetDate} หรือเริ่มบทสนทนาใหม่โดยใช้โมเดลอื่น","codex.modelCapacityBanner.title":"โมเดลที่เลือกทำงานเต็มขีดความสามารถแล้ว","codex.patch.change.contentsDeleted":"ลบเนื้อหาแล้ว","codex.patch.change.created":"สร้างเมื่อ","codex.patch.change.created-file":"ไฟล์ที่สร้าง","codex.patch.change.creating":"กำลังสร้าง","codex.patch.change.deleted":"ลบแล้ว","codex.patch.change.deleted-file":"ไฟล์ที่ลบ","codex.patch.change.deleting":"กำลังลบ","codex.patch.change.edited":"แก้ไขแล้ว","codex.patch.change.edited-file":"ไฟล์ที่แก้ไข","codex.patch.change.editing":"กำลังแก้ไข","codex.patch.change.noChanges":"ไม่มีการเปลี่ยนแปลง","codex.patch.change.rejected-add":"ถูกปฏิเสธ","codex.patch.change.rejected-delete":"ถูกปฏิเสธ","codex.patch.change.rejected-edit":"ถูกปฏิเสธ","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} จาก {total} งานเสร็จสมบูรณ์แล้ว","codex.plan.todoListCreated":"สร้างรายการที่ต้องทำแล้วโดยมี {total} งาน","codex.profileDropdown.apiKeyAuth":"ลงชื่อเข้าใช้ด้วยคีย์ API แล้ว","codex.profileDropdown.codexSettings":"การตั้งค่า Codex","codex.profileDropdown.copilotAuth":"ลงชื่อเข้าใช้ด้วย Copilot แล้ว","codex.profileDropdown.defaultAccountTitle":"บัญชีเริ่มต้น","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter เพื่อส่งคำสั่งขนาดยาว","codex.profileDropdown.enterBehaviorError":"อัปเดตการตั้งค่าไม่สำเร็จ","codex.profileDropdown.getPlus":"อัปเกรดเพื่อขีดจำกัดที่สูงขึ้น","codex.profileDropdown.keyboardShortcuts":"แป้นพิมพ์ลัด","codex.profileDropdown.language":"ภาษา","codex.profileDropdown.languageDefault":"ตรวจจับอัตโนมัติ","codex.profileDropdown.languageSearchPlaceholder":"ค้นหาภาษา","codex.profileDropdown.languageUpdateError":"อัปเดตภาษาไม่สำเร็จ","codex.profileDropdown.logOut":"ลงชื่อออก","codex.profileDropdown.mcp":"การตั้งค่า MCP","codex.profileDropdown.openConfigToml":"เปิด config.toml","codex.profileDropdown.openConfigToml.wsl":"เปิด config.toml ในสภาพแวดล้อม WSL","codex.profileDropdown.openExtensionSettings":"เปิดการตั้งค่า","codex.profileDropdown.openMcpSettings":"เปิดการตั้งค่า MCP","codex.profileDropdown.openOnStartup":"เปิดเมื่อเริ่มต้น","codex.profileDropdown.openOnStartupError":"อัปเดตการตั้งค่าไม่สำเร็จ","codex.profileDropdown.openSkillsSettings":"เปิดการตั้งค่าทักษะ","codex.profileDropdown.personalAccountTitle":"บัญชีส่วนบุคคล","codex.profileDropdown.queueFollowUps":"เข้าคิวคำถามต่อเนื่อง","codex.profileDropdown.queueFollowUpsError":"อัปเดตการตั้งค่าไม่สำเร็จ","codex.profileDropdown.readDocs":"อ่านเอกสาร","codex.profileDropdown.readSkillsDocs":"อ่านเอกสาร","codex.profileDropdown.runInWsl":"รันใน WSL","codex.profileDropdown.runInWslError":"อัปเดตการตั้งค่าไม่สำเร็จ","codex.profileDropdown.runInWslTooltip":"รัน Codex ภายใน WSL แนะนำให้ทำเพื่อความปลอดภัยแซนด์บ็อกซ์ที่สูงขึ้นและประสิทธิภาพที่ดีขึ้น","codex.profileDropdown.settings":"การตั้งค่า IDE","codex.profileDropdown.settingsPage":"การตั้งค่า","codex.profileDropdown.signInWithOpenAI":"ลงชื่อเข้าใช้ด้วย ChatGPT","codex.profileDropdown.skills":"การตั้งค่าทักษะ","codex.profileDropdown.switchToCopilotAccount":"ใช้บัญชี Copilot","codex.profileDropdown.switchToOpenAIAccount":"ใช้บัญชี OpenAI","codex.profileDropdown.todoCodelens":"แก้ไขคอมเมนต์ TODO","codex.profileDropdown.todoCodelensError":"อัปเดตการตั้งค่าไม่สำเร็จ","codex.profileDropdown.windowsDocumentation":"เอกสาร Windows","codex.profileFooter.signedInFallback":"การตั้งค่า","codex.profileFooter.upgrade":"อัปเกรด","codex.recentTasksMenu.clearSearch":"ล้างการค้นหา","codex.recentTasksMenu.cloud":"งานบนคลาวด์","codex.recentTasksMenu.count":"{count, plural, =0 {ไม่มีงานที่กำลังดำเนินการ} other {# งานที่กำลังดำเนินการ}}","codex.recentTasksMenu.empty":"ยังไม่มีเธรด","codex.recentTasksMenu.errorCloud":"โหลดงานไม่สำเร็จ","codex.recentTasksMenu.errorCloud.inline":"โหลดงานบนคลาวด์ไม่สำเร็จ","codex.recentTasksMenu.filterAll":"ทั้งหมด","codex.recentTasksMenu.filterCloudTasks":"กรองงานบนคลาวด์","codex.recentTasksMenu.filterTooltip":"กรองงานตามสภาพแวดล้อม","codex.recentTasksMenu.local":"งานในเครื่อง","codex.recentTasksMenu.recent":"งานทั้งหมด","codex.recentTasksMenu.search":"ค้นหางานล่าสุด","codex.recentTasksMenu.searchEmpty":"ไม่มีผลลัพธ์","codex.recentTasksMenu.tooltip":"ประวัติงาน","codex.recentTasksMenu.trigger":"งานล่าสุด {count, plural, other {# กำลังดำเนินการ}}","codex.remoteConversation.applyDiff.applyCta":"นำการเปลี่ยนแปลงไปใช้","codex.remoteConversation.applyDiff.dropdownTitle":"นำการเปลี่ยนแปลงไปใช้กับสาขาในเครื่อง","codex.remoteConversation.applyDiff.revertCta":"ย้อนกลับการเปลี่ยนแปลง","codex.remoteConversation.closeImagePreview":"ปิดตัวอย่างภาพ","codex.remoteConversation.codexCloudTask":"คุณกำลังดูงาน<u>Codex บนคลาวด์</u>","codex.remoteConversation.errorWithMessage":"ข้อผิดพลาด: {message}","codex.remoteConversation.loadingImage":"กำลังโหลดภาพ","codex.remoteConversation.openInWeb":"เปิดในเว็บ","codex.remoteConversation.streaming":"กำลังเริ่มต้น","codex.remoteConversation.turnFailed":"เกิดข้อผิดพลาดขณะทำงานนี้","codex.remoteConversation.turnTab.loading":"ครั้งที่ {number}","codex.remoteConversation.turnTab.title":"ครั้งที่ {number}","codex.remoteConversation.userImageAttachment":"ไฟล์แนบของผู้ใช้","codex.remoteConversation.viewPreviousTurns":"เปิดในเว็บ","codex.remoteConversation.viewPreviousTurns.buttonText":"เปิด","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"เปิดในเว็บ","codex.review.copyGitApplyCommand":"คัดลอกคำสั่งการใช้ git","codex.review.copyGitApplyCommand.toast":"คัดลอกคำสั่งการใช้ git ไปที่คลิปบอร์ดแล้ว","codex.review.diffTooLarge.description":"การเปรียบเทียบมีขนาดใหญ่เกินกว่าที่จะแสดงในการดูตัวอย่าง","codex.review.diffTooLarge.title":"การเปรียบเทียบมีขนาดใหญ่เกินกว่าที่จะแสดง","codex.review.expandOrCollapseDiffButton.collapse":"ยุบการข้อมูลเปรียบเทียบทั้งหมด","codex.review.expandOrCollapseDiffButton.expand":"ขยายข้อมูลเปรียบเทียบทั้งหมด","codex.review.expandOrCollapseDiffMenu.collapse":"ยุบการข้อมูลเปรียบเทียบทั้งหมด","codex.review.expandOrCollapseDiffMenu.expand":"ขยายข้อมูลเปรียบเทียบทั้งหมด","codex.review.fileSearch.clear":"ล้างตัวกรองไฟล์","codex.review.fileSearch.empty":"ไม่มีไฟล์ที่ตรงกับตัวกรองปัจจุบัน","codex.review.fileSearch.label":"กรองไฟล์","codex.review.fileSearch.placeholder":"กรองไฟล์...","codex.review.filesChanged":"{num, plural, =0 {ไม่มีการเปลี่ยนแปลงไฟล์ใดๆ} other {# ไฟล์มีการเปลี่ยนแปลง}}","codex.review.find.loadMore":"โหลดรายการที่ตรงกันเพิ่มเติม","codex.review.fullReview.hideFileTree":"ซ่อนผังไฟล์","codex.review.fullReview.showFileTree":"แสดงผังไฟล์","codex.review.header.moreOptions":"ตัวเลือกการตรวจสอบ","codex.review.largeDiff.banner":"ตรวจพบการเปรียบเทียบขนาดใหญ่ ระบบจะแสดงทีละไฟล์","codex.review.loadFullFiles.disable":"อย่าโหลดไฟล์แบบเต็ม","codex.review.loadFullFiles.enable":"โหลดไฟล์แบบเต็ม","codex.review.noDiff":"การเปลี่ยนแปลงไฟล์จะปรากฏที่นี่","codex.review.noDiff.gitInit.createRepository":"สร้างคลังโค้ด git","codex.review.noDiff.gitInit.creating":"กำลังสร้าง...","codex.review.noDiff.gitInit.error":"Git init ที่ล้มเหลว: {message}","codex.review.noDiff.gitInit.success":"สร้างคลังโค้ด git แล้ว","codex.review.noDiff.gitRepoRequired.description":"ติดตามและยกเลิกการเปลี่ยนแปลงในโครงการนี้","codex.review.noDiff.gitRepoRequired.title":"สร้างคลังโค้ด git","codex.review.noDiff.orNoLongerAvailable":"หรือการเปรียบเทียบล่าสุดไม่พร้อมใช้งาน","codex.review.noDiff.reverted":"ย้อนกลับรอบสุดท้ายแล้ว","codex.review.noDiff.revertedOrCommitted":"ย้อนกลับหรือคอมมิตรอบสุดท้ายแล้ว","codex.review.refreshGitQueries":"รีเฟรช","codex.review.revert.file.error":"ย้อนกลับไม่สำเร็จ {path}","codex.review.revert.file.partialSuccess":"ย้อนกลับบางส่วน {path}","codex.review.revert.file.success":"ย้อนกลับ {path} แล้ว","codex.review.revert.hunk.error":"ย้อนกลับฮังก์ {hunkNumber} ใน {path} ไม่สำเร็จ","codex.review.revert.hunk.partialSuccess":"ย้อนกลับฮังก์ {hunkNumber} ใน {path} บางส่วน","codex.review.revert.hunk.success":"ย้อนกลับฮังก์ {hunkNumber} ใน {path} แล้ว","codex.review.revert.section.error":"ย้อนกลับส่วนไม่สำเร็จ","codex.review.revert.section.partialSuccess":"ย้อนกลับส่วนบางส่วน","codex.review.revert.section.success":"ย้อนกลับส่วนแล้ว","codex.review.revertDialog.cancel":"ยกเลิก","codex.review.revertDialog.confirm":"ยืนยัน","codex.review.revertDialog.message":"การกระทำจะลบการเปลี่ยนแปลงเหล่านี้ทั้งหมด","codex.review.revertDialog.skip":"ไม่ต้องถามอีก","codex.review.revertDialog.title":"ย้อนกลับการเปลี่ยนแปลงหรือไม่","codex.review.richPreview.disable":"ปิดการใช้งานการดูตัวอย่างแบบละเอียด","codex.review.richPreview.enable":"เปิดการใช้งานการดูตัวอย่างแบบละเอียด","codex.review.source.cloud":"การเปลี่ยนแปลงบนคลาวด์","codex.review.source.local.all":"การเปลี่ยนแปลงสาขาทั้งหมด","codex.review.source.local.lastTurn":"การเปลี่ยนแปลงรอบสุดท้าย","codex.review.source.local.uncommitted":"การเปลี่ยนแปลงที่ยังไม่คอมมิต","codex.review.source.worktree":"การเปลี่ยนแปลงเวิร์กทรีที่ไม่ได้คอมมิต","codex.review.stageFilter.empty.staged.description":"ยอมรับการแก้ไขเพื่อเตรียม","codex.review.stageFilter.empty.staged.title":"ไม่มีการเปลี่ยนแปลงที่เตรียมไว้","codex.review.stageFilter.empty.unstaged.description":"การเปลี่ยนแปลงโค้ดจะปรากฏที่นี่","codex.review.stageFilter.empty.unstaged.title":"ไม่มีการเปลี่ยนแปลงที่เลิกเตรียมแล้ว","codex.review.stageFilter.staged":"เตรียมไว้","codex.review.stageFilter.staged.count":"เตรียมไว้ · {count}","codex.review.stageFilter.unstaged":"เลิกเตรียมแล้ว","codex.review.stageFilter.unstaged.count":"เลิกเตรียมแล้ว · {count}","codex.review.switchToSplit":"เปลี่ยนเป็นการเปรียบเทียบที่แบ่งส่วน","codex.review.switchToUnified":"สลับเป็นการเปรียบเทียบความแตกต่างแบบรวม","codex.review.toggleDiffView":"สลับมุมมองการเปรียบเทียบ","codex.review.wordDiffs.disable":"ปิดการใช้งานการเปรียบเทียบคำ","codex.review.wordDiffs.enable":"เปิดการใช้งานการเปรียบเทียบคำ","codex.review.wrap.disable":"ปิดการใช้งานการตัดบรรทัด","codex.review.wrap.enable":"เปิดการใช้งานการตัดบรรทัด","codex.section.patch.missing":"ไม่สามารถสร้างแพตช์สำหรับส่วนนี้ได้","codex.shell.collapse":"ยุบเชลล์","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"คัดลอกเนื้อหาเชลล์แล้ว","codex.shell.copy.copyTooltip":"คัดลอกเนื้อหาเชลล์","codex.shell.copyCommand":"คัดลอกคำสั่ง","codex.shell.copyOutput":"คัดลอกเอาต์พุต","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"ขยายเชลล์","codex.shell.name":"เชลล์","codex.shell.noOutput":"ไม่มีเอาต์พุต","codex.signInFailed.message":"ลงชื่อเข้าใช้ไม่สำเร็จ: {rawMessage}","codex.stories.toast.show":"แสดงข้อความแบบ Toast","codex.stories.tooltip.basic":"นี่คือข้อความอธิบาย","codex.stories.tooltip.hoverMe":"แตะที่นี่","codex.stories.tooltip.largerOffset":"ข้อความอธิบายมีมีระยะห่างจากองค์ประกอบมากขึ้น","codex.stories.tooltip.offsetButton":"ระยะห่างมากขึ้น","codex.stories.tooltip.shortcutButton":"พร้อมคีย์ลัด","codex.stories.tooltip.withShortcut":"สลับเทอร์มินัล","codex.taskRow.title":"เธรดใหม่","codex.taskRowLayout.confirm":"ยืนยัน","codex.threadFindBar.chatFilter":"ค้นหาแชต","codex.threadFindBar.close":"ปิดการค้นหา","codex.threadFindBar.diffFilter":"ค้นหาการเปรียบเทียบ","codex.threadFindBar.label":"ค้นหาในเธรด","codex.threadFindBar.nextResult":"ผลลัพธ์ถัดไป","codex.threadFindBar.noResults":"0 ผลลัพธ์","codex.threadFindBar.placeholder":"ค้นหาเธรด...","codex.threadFindBar.placeholder.extension":"ค้นหาเธรด...","codex.threadFindBar.placeholder.review":"ค้นหาการเปรียบเทียบ...","codex.threadFindBar.placeholder.review.extension":"ค้นหาการเปรียบเทียบ...","codex.threadFindBar.previousResult":"ผลลัพธ์ก่อนหน้า","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# ไฟล์มีการเปลี่ยนแปลง}}","codex.unifiedDiff.inlineLargeFile":"ใหญ่เกินไปที่จะเรนเดอร์อินไลน์","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"เลิกทำ","codex.unifiedDiff.revertPatchError":"ย้อนกลับการเปลี่ยนแปลงไม่สำเร็จ","codex.unifiedDiff.revertPatchSuccess":"ย้อนกลับการเปลี่ยนแปลงแล้ว","codex.unifiedDiff.reviewChangesSuffix":"การเปลี่ยนแปลง","codex.unifiedDiff.reviewShort":"พิจารณา","codex.unifiedDiff.viewDiffTooltip":"ตรวจสอบ","codex.upsellBanner.business.headline":"หากต้องการเข้าถึงได้มากขึ้นในตอนนี้ โปรดส่งคำขอไปยังผู้ดูแลของคุณ หรือรอจนถึง {resetDate}","codex.upsellBanner.cbp.headline":"หากต้องการเข้าถึงได้มากขึ้นในตอนนี้ โปรดส่งคำขอไปยังผู้ดูแลของคุณ","codex.upsellBanner.cta.addCredits":"เพิ่มเครดิต","codex.upsellBanner.cta.upgradeAccount":"อัปเกรด","codex.upsellBanner.cta.viewUsage":"ดูการใช้งาน","codex.upsellBanner.free.trialHeadline":"ขีดจำกัดของคุณจะรีเซ็ตในวันที่ {resetDate} หากต้องการใช้ Codex ต่อและเข้าถึง GPT-5.3-Codex โปรดเริ่มการทดลองใช้ Plus ฟรีเลยวันนี้ ","codex.upsellBanner.freeOrGo.headline":"ขีดจำกัดอัตราของคุณจะรีเซ็ตในวันที่ {resetDate} หากต้องการใช้ Codex ต่อ โปรดอัปเกรดเป็น Plus เลยวันนี้","codex.upsellBanner.general.headline":"ขีดจำกัดอัตราของคุณจะรีเซ็ตในวันที่ {resetDate}","codex.upsellBanner.general.title":"คุณใช้ข้อความ Codex จนหมดแล้ว","codex.upsellBanner.go.trialHeadline":"ขีดจำกัดของคุณจะรีเซ็ตในวันที่ {resetDate} หากต้องการใช้ Codex ต่อ โปรดเริ่มการทดลองใช้ Plus ฟรีเลยวันนี้ ","codex.upsellBanner.plus.headline":"ขีดจำกัดอัตราของคุณจะรีเซ็ตในวันที่ {resetDate} หากต้องการใช้ Codex ต่อ โปรดเพิ่มเครดิตหรืออัปเกรดเป็น Pro เลยวันนี้","codex.upsellBanner.pro.headline":"ขีดจำกัดอัตราของคุณจะรีเซ็ตในวันที่ {resetDate} โปรดเพิ่มเครดิตเพื่อใช้ Codex ต่อ","codex.userMessage.autoResolveSync":"แก้ไขความขัดแย้งโดยอัตโนมัติ","codex.userMessage.commentCount":"{count, plural, other {# ความคิดเห็น}}","codex.userMessage.copiedAriaLabel":"คัดลอกแล้ว","codex.userMessage.copiedTooltip":"คัดลอกแล้ว","codex.userMessage.copyAriaLabel":"คัดลอกข้อความ","codex.userMessage.copyTooltip":"คัดลอก","codex.userMessage.implementPlan":"นำแผนไปใช้","codex.userMessage.noContent":"(ไม่มีเนื้อหา)","codex.userMessage.priorConversation":"อ้างอิงบทสนทนาก่อนหน้า","codex.userMessage.reviewMode":"โหมดตรวจสอบ","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"สำหรับ {query}","codex.webSearch.summary.verb.completed":"ค้นหาบนเว็บแล้ว","codex.webSearch.summary.verb.inProgress":"กำลังค้นหาบนเว็บ","codex.windowsInstallWslBanner.dismiss":"เลิก","codex.windowsInstallWslBanner.installWslCta":"เปิดการใช้งานแซนด์บ็อกซ์","codex.windowsInstallWslBanner.learnMore":"เรียนรู้เพิ่มเติม","codex.windowsSandboxBanner.content":"โหมดเอเจนต์ใช้แซนด์บ็อกซ์เชิงทดลองบน Windows เพื่อจำกัดการเข้าถึงระบบไฟล์และเครือข่าย {sandboxLink}","codex.windowsSandboxBanner.title":"เปิดการใช้งานแซนด์บ็อกซ์สำหรับโหมดเอเจนต์","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"การตั้งค่า Windows","codexUpgradeModal.body":"โมเดลเขียนโค้ดโดยเอเจนต์ระดับแนวหน้าล่าสุดของเรา ที่ทั้งฉลาดขึ้น เร็วขึ้น และมีความสามารถในการทำงานเชิงเทคนิคทั่วไปได้มากขึ้น {link}","codexUpgradeModal.close":"ปิด","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"เรียนรู้เพิ่มเติม","codexUpgradeModal.title":"ขอแนะนำ GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"ลองใช้ GPT-5.3-Codex ตอนนี้","codexUpgradeModal.useExistingModel":"ดำเนินการต่อด้วยโมเดลปัจจุบัน","commentAttachments.numComments":"{count, plural, other {# ความคิดเห็น}}","commentAttachments.removeAriaLabel":"ลบไฟล์แนบความคิดเห็น","common.close":"ปิด","composer.addContext.openFilePickerError":"ไม่สามารถเปิดตัวเลือกไฟล์","composer.addContextDropdown.ariaLabel":"เพิ่มไฟล์และอื่นๆ","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"เพิ่มไฟล์และอื่นๆ","composer.addPhotosAndFiles":"เพิ่มรูปภาพและไฟล์","composer.atMentionList.emptyQuery":"พิมพ์เพื่อค้นหาไฟล์","composer.atMentionList.loading":"กำลังค้นหา...","composer.atMentionList.noResults":"ไม่มีผลลัพธ์","composer.attemptsSelector.option":"{count, plural, other {# เวอร์ชัน}}","composer.attemptsSelector.tooltip":"จำนวนความพยายามแบบขนานที่ Codex สามารถทำได้","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"หยุด","composer.cloudFollowUp.cloud":"คลาวด์","composer.cloudFollowUp.local":"ในเครื่อง","composer.cloudFollowUp.whereRun":"งานต่อไปควรรันที่ไหน","composer.cloudTaskCreationError":"เกิดข้อผิดพลาดในการสร้างงานบนคลาวด์","composer.cloudTaskError":"เกิดข้อผิดพลาดในการสร้างงาน","composer.contextWindow.autoCompactionTooltipLine1":"Codex จะบีบอัดบริบทโดยอัตโนมัติ","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"ปริมาณบริบท:","composer.contextWindowUsageStatusFull":"เต็ม {usage}%","composer.contextWindowUsageStatusLeft":"ใช้แล้ว {usage}% (เหลือ {remaining}%)","composer.contextWindowUsageTooltip":"ใช้แล้ว {usedTokens}k / {contextWindow}k token","composer.customCliTooltip":"การใช้ไฟล์ปฏิบัติการ CLI ที่กำหนดเอง","composer.dictation.aria":"เขียนตามคำบอก","composer.dictation.cancel.aria":"หยุดเขียนตามคำบอก","composer.dictation.cancel.tooltip":"หยุดเขียนตามคำบอก","composer.dictation.startError":"ไม่สามารถเริ่มเขียนตามคำบอก","composer.dictation.submit.aria":"ถอดเสียงและส่ง","composer.dictation.submit.tooltip":"ถอดเสียงและส่ง","composer.dictation.tooltip":"กดค้างเพื่อเขียนตามคำบอก","composer.dictation.transcribeError":"ไม่สามารถถอดเสียงได้","composer.dictation.unsupported":"การเขียนตามคำบอกไม่มีให้บริการในอุปกรณ์นี้","composer.dropOverlay.holdShift":"กด {key} ค้างเพื่อปล่อย","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"สร้างใหม่","composer.environmentSelector.error":"เกิดข้อผิดพลาดขณะโหลดสภาพแวดล้อม","composer.environmentSelector.goBack":"กลับไปที่ตัวสร้าง","composer.environmentSelector.title":"เลือกสภาพแวดล้อม","composer.environmentSelector.tooltip":"เลือกสภาพแวดล้อมคลาวด์","composer.feedbackSlashCommand.title":"ข้อเสนอแนะ","composer.filePicker.selectFile":"เลือกไฟล์","composer.filePicker.selectFiles":"เลือกไฟล์","composer.followerTooltip":"หากต้องการแชตต่อ โปรดกลับไปยังหน้าต่างที่เริ่มต้นบทสนทนานี้","composer.footer.branchSwitch.checkoutError":"สลับสาขาไม่สำเร็จ: {message}","composer.footer.branchSwitch.createAndCheckout":"สร้างและเช็คเอาท์สาขาใหม่...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"คอมมิตการเปลี่ยนแปลงเพื่อสร้างและเช็คเอาท์สาขาใหม่","composer.footer.branchSwitch.createBranchError":"สร้างสาขาไม่สำเร็จ: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"ชื่อสาขา","composer.footer.branchSwitch.createDialog.branchExistsError":"มีสาขาอยู่แล้ว","composer.footer.branchSwitch.createDialog.close":"ปิด","composer.footer.branchSwitch.createDialog.createAndCheckout":"สร้างและเช็คเอาท์","composer.footer.branchSwitch.createDialog.placeholder":"สาขาใหม่","composer.footer.branchSwitch.createDialog.title":"สร้างและเช็คเอาท์สาขา","composer.footer.branchSwitch.createDialog.trailingSlashError":"ชื่อสาขาต้องไม่ลงท้ายด้วย “/”","composer.footer.branchSwitch.tooltip":"สลับสาขา","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"คอมมิตการเปลี่ยนแปลงใน {fileCount, plural, other {# ไฟล์}} เพื่อเช็คเอาท์ {branchName}","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"คอมมิต","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"การเปลี่ยนแปลงใน {fileCount, plural, other {# ไฟล์}} เพื่อเช็คเอาท์ {branchName}","composer.footer.branchSwitch.uncommittedDialog.cancel":"ยกเลิก","composer.footer.branchSwitch.uncommittedDialog.commit":"คอมมิตและสลับสาขา...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"การเปลี่ยนแปลงของคุณในไฟล์ต่อไปนี้จะถูกเขียนทับเมื่อทำการเช็คเอาท์","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"โปรดคอมมิตการเปลี่ยนแปลงของคุณเพื่อดำเนินการต่อ","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ในสาขาที่เลือก","composer.footer.branchSwitch.uncommittedDialog.title":"คอมมิตการเปลี่ยนแปลงเพื่อสลับสาขา","composer.footer.branchSwitch.uncommittedSummaryPrefix":"ไม่ได้คอมมิต: {fileCount, plural, other {# ไฟล์}}","composer.forkSlashCommand.description":"ฟอร์กเธรดนี้เข้าไปในเวิร์กทรีใหม่หรือเวิร์กทรีในเครื่อง","composer.forkSlashCommand.option.local.description":"ทำต่อในเธรดในเครื่องเธรดใหม่","composer.forkSlashCommand.option.local.title":"ฟอร์กเข้าไปในเครื่อง","composer.forkSlashCommand.option.worktree.description":"ทำต่อในเวิร์กทรีใหม่","composer.forkSlashCommand.option.worktree.title":"ฟอร์กเข้าไปในเวิร์กทรีใหม่","composer.forkSlashCommand.title":"ฟอร์ก","composer.ideContextIndicator":"บริบท IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"รวมบริบทจาก IDE","composer.ideContextIndicator.tooltipToggle":"เพื่อสลับ","composer.ideContextSlashCommand.disableDescription":"ปิดใช้บริบท IDE","composer.ideContextSlashCommand.enableDescription":"รวมการเลือกปัจจุบัน ไฟล์ที่เปิดอยู่ และบริบทอื่นๆ จาก IDE ของคุณ","composer.ideContextSlashCommand.title":"บริบท IDE","composer.imageInputsUnsupported":"โมเดลนี้ไม่รองรับอินพุตภาพ โปรดลองใช้โมเดลอื่น","composer.imageUploadFailed":"อัปโหลดภาพไม่สำเร็จ","composer.includeIdeContextDropdown":"รวมบริบท IDE","composer.includeIdeContextDropdown.ariaLabel":"รวมบริบท IDE","composer.localCwdDropdown.addWorkspaceRoot":"เพิ่มโครงการใหม่","composer.localCwdDropdown.noActiveRoot":"เลือกโครงการ","composer.localCwdDropdown.noResults":"ไม่พบโฟลเดอร์","composer.localCwdDropdown.title":"เลือกโครงการ","composer.localTaskError":"เกิดข้อผิดพลาดขณะเริ่มบทสนทนา","composer.mcpSlashCommand.description":"แสดงสถานะเซิร์ฟเวอร์ MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"ไม่ได้พิสูจน์ตัวตน","composer.mcpStatus.authOauth":"พิสูจน์ตัวตนแล้ว (OAuth)","composer.mcpStatus.authToken":"พิสูจน์ตัวตนแล้ว (คีย์ API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"ปิด","composer.mcpStatus.disabled":"ปิดการใช้งานอยู่","composer.mcpStatus.emptyLabel":"เซิร์ฟเวอร์:","composer.mcpStatus.emptyValue":"ไม่มีเซิร์ฟเวอร์ MCP ที่กำหนดค่าไว้","composer.mcpStatus.enabled":"เปิดการใช้งาน","composer.mcpStatus.errorLabel":"สถานะ:","composer.mcpStatus.errorValue":"ไม่สามารถโหลดสถานะ MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"เอเจนต์","composer.mode.agentMode.auto.dropdownLabel":"เอเจนต์","composer.mode.agentMode.auto.optionLabel":"เอเจนต์","composer.mode.agentMode.changePermission":"เปลี่ยนโหมด","composer.mode.agentMode.custom":"กำหนดเอง","composer.mode.agentMode.custom.dropdownLabel":"กำหนดเอง","composer.mode.agentMode.custom.option":"กำหนดเอง (config.toml)","composer.mode.agentMode.custom.optionLabel":"กำหนดเอง (config.toml)","composer.mode.agentMode.customInfo.cancel":"ยกเลิก","composer.mode.agentMode.customInfo.cli":"คุณสามารถปรับการตั้งค่าเหล่านั้นจาก CLI หรือด้วยการแก้ไขไฟล์โดยตรง","composer.mode.agentMode.customInfo.confirm":"ใช้โหมดกำหนดเอง","composer.mode.agentMode.customInfo.description":"โหมดกำหนดเองจะใช้นโยบายการอนุมัติและแซนด์บ็อกซ์ที่กำหนดไว้ในไฟล์<link>config.toml</link> ของคุณ","composer.mode.agentMode.customInfo.docs":"เรียนรู้เพิ่มเติมเกี่ยวกับการกำหนดค่านโยบายการอนุมัติและแซนด์บ็อกซ์ใน<link>เอกสารสภาพแวดล้อมการดำเนินการ</link>.","composer.mode.agentMode.customInfo.refresh":"การเปลี่ยนแปลงใดๆ จะมีผลในครั้งถัดไปที่เอเจนต์รัน","composer.mode.agentMode.customInfo.title":"โหมดกำหนดเองทำงานอย่างไร","composer.mode.agentMode.fullAccess":"เอเจนต์ (สิทธิ์เข้าถึงเต็มรูปแบบ)","composer.mode.agentMode.fullAccess.dropdownLabel":"เอเจนต์ (สิทธิ์เข้าถึงเต็มรูปแบบ)","composer.mode.agentMode.fullAccess.optionLabel":"เอเจนต์ (สิทธิ์เข้าถึงเต็มรูปแบบ)","composer.mode.agentMode.fullAccessConfirm.caution":"ใช้ความระมัดระวังเมื่อให้สิทธิ์เข้าถึงเต็มรูปแบบ เนื่องจากจะเพิ่มความเสี่ยงอย่างยิ่งต่อการสูญเสียข้อมูล ข้อมูลรั่วไหล หรือพฤติกรรมที่ไม่คาดคิด","composer.mode.agentMode.fullAccessConfirm.confirm":"ใช่ ดำเนินการต่อเลย","composer.mode.agentMode.fullAccessConfirm.description":"เมื่อ Codex รันโดยมีสิทธิ์เข้าถึงเต็มรูปแบบ ก็จะสามารถแก้ไขไฟล์ใดก็ตามในคอมพิวเตอร์ของคุณและรันคำสั่งกับเครือข่ายได้โดยที่คุณไม่ต้องอนุมัติ","composer.mode.agentMode.fullAccessConfirm.goBack":"ยกเลิก","composer.mode.agentMode.fullAccessConfirm.title":"จะให้สิทธิ์เข้าถึงเต็มรูปแบบใช่หรือไม่","composer.mode.agentMode.readOnly":"แชต","composer.mode.agentMode.readOnly.dropdownLabel":"แชต","composer.mode.agentMode.readOnly.optionLabel":"แชต","composer.mode.agentMode.tooltip":"เปลี่ยนโหมด","composer.mode.agentMode.tooltip.auto":"อ่านและแก้ไขไฟล์ และรันคำสั่ง","composer.mode.agentMode.tooltip.custom":"ใช้นโยบายการอนุมัติและแซนด์บ็อกซ์ล่าสุดที่กำหนดไว้ใน config.toml","composer.mode.agentMode.tooltip.fullAccess":"Codex สามารถแก้ไขไฟล์ที่อยู่นอกโครงการและรันคอมมานด์ด้วยการเข้าถึงเครือข่ายได้ โปรดใช้อย่างระมัดระวัง","composer.mode.agentMode.tooltip.readOnly":"ต้องได้รับอนุมัติให้แก้ไขไฟล์และรันคำสั่ง","composer.mode.cloud.tooltip":"ทำงานในสภาพแวดล้อมคลาวด์","composer.mode.contactAdmin":"หากต้องการรับสิทธิ์เข้าถึงเพิ่มเติม โปรดติดต่อผู้ดูแลระบบของคุณ","composer.mode.local":"ในเครื่อง","composer.mode.local.learnMore":"เรียนรู้เพิ่มเติม","composer.mode.local.model.custom":"กำหนดเอง","composer.mode.local.model.loadingModel":"กำลังโหลดโมเดล","composer.mode.local.model.selecrReasoningEffort":"เลือกการให้เหตุผล","composer.mode.local.model.selectModel":"เลือกโมเดล","composer.mode.local.model.tooltip":"เลือกโมเดล","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"สูง","composer.mode.local.reasoning.low.label":"ต่ำ","composer.mode.local.reasoning.medium.label":"ปานกลาง","composer.mode.local.reasoning.minimal.label":"ขั้นต่ำ","composer.mode.local.reasoning.none.label":"ไม่มี","composer.mode.local.reasoning.xhigh.label":"สูงเป็นพิเศษ","composer.mode.localRemoteWhereRun":"เลือกสถานที่ที่จะรันงาน","composer.mode.newTask.header":"ดำเนินการใน","composer.mode.rateLimit.day":"{days} วัน","composer.mode.rateLimit.heading":"อัตราจำกัดที่เหลือ","composer.mode.rateLimit.hour":"{hours} ชม.","composer.mode.rateLimit.minute":"{minutes} นาที","composer.mode.rateLimit.modelSectionLabel":"ขีดจำกัด {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {ขีดจำกัด {weeks} สัปดาห์}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} สัปดาห์}}","composer.mode.remote.connectToCloud":"เชื่อมต่อเว็บ Codex","composer.mode.remote.connectToCloudDisabledTooltip":"ตั้งค่าสภาพแวดล้อมผ่านเว็บ Codex เพื่อเปิดใช้งานการส่งงานไปยังคลาวด์","composer.mode.remote.selectEnvironment":"เลือกสภาพแวดล้อม","composer.mode.remote.sendToCloud":"ส่งไปยังคลาวด์","composer.mode.remote.setupViaWeb":"ตั้งค่าสภาพแวดล้อมผ่านเว็บ Codex","composer.mode.runInCloud":"คลาวด์","composer.mode.runInCloudWithEnvironment":"คลาวด์ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"ทำงานในสภาพแวดล้อมคลาวด์","composer.mode.segmentedToggle.local.tooltip":"ทำงานในโครงการในเครื่องของคุณ","composer.mode.segmentedToggle.worktree.tooltip":"ทำงานในเวิร์กทรีคู่ขนาน","composer.mode.upgradeToPlus":"อัปเกรดเป็น Plus","composer.mode.upgradeToPro":"อัปเกรดเป็น Pro","composer.mode.workLocally":"โครงการในเครื่อง","composer.mode.workLocally.currentBranchFallback":"สาขาของคุณ","composer.mode.workLocally.tooltip":"ทำงานบน {branchName}","composer.mode.worktree":"เวิร์กทรีใหม่","composer.mode.worktree.submoduleWarning":"คลังโค้ดนี้มีโมดูลย่อย git อาจสร้างเวิร์กทรีไม่สำเร็จ","composer.mode.worktree.tooltip":"สร้างสำเนาโครงการในเครื่องเพื่อทำงานแบบขนาน","composer.mode.worktreeSegment":"เวิร์กทรี","composer.modelChangeDuringConversationWarning.toast":"การเปลี่ยนโมเดลขณะกำลังสนทนาจะทำให้ประสิทธิภาพลดลง","composer.newChat.heading.browser":"จะเขียนโค้ดอะไรต่อดี","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex ใช้สิทธิ์ที่กำหนดไว้ใน config.toml","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex มีสิทธิ์เข้าถึงคอมพิวเตอร์ของคุณเต็มรูปแบบ (ความเสี่ยงสูง)","composer.permissionsDropdown.custom.label":"กำหนดเอง (config.toml)","composer.permissionsDropdown.custom.optionLabel":"กำหนดเอง (config.toml)","composer.permissionsDropdown.default.label":"สิทธิ์เริ่มต้น","composer.permissionsDropdown.default.optionLabel":"สิทธิ์เริ่มต้น","composer.permissionsDropdown.default.tooltip":"Codex จะรันคอมมานด์ในแซนด์บ็อกซ์โดยอัตโนมัติ","composer.permissionsDropdown.disabled.requirements":"สิทธิ์ถูกล็อกโดย requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"สิทธิเข้าถึงเต็มรูปแบบถูกปิดการใช้งานโดย requirements.toml","composer.permissionsDropdown.fullAccess.label":"สิทธิ์เข้าถึงเต็มรูปแบบ","composer.permissionsDropdown.fullAccess.optionLabel":"สิทธิ์เข้าถึงเต็มรูปแบบ","composer.permissionsDropdown.trigger.tooltip":"เปลี่ยนสิทธิ์","composer.personalitySlashCommand.description.friendly":"อบอุ่น ร่วมมือ และเป็นประโยชน์","composer.personalitySlashCommand.description.pragmatic":"กระชับ เน้นที่งาน และตรงประเด็น","composer.personalitySlashCommand.label.friendly":"เป็นมิตร","composer.personalitySlashCommand.label.pragmatic":"เน้นการปฏิบัติ","composer.personalitySlashCommand.notApplicableSuffix":"(ไม่มีผลกับโมเดลปัจจุบัน)","composer.personalitySlashCommand.title":"บุคลิก","composer.placeholder.cloudFollowUp.directFollowUp":"สิ่งต่อเนื่องกับงานบนคลาวด์นี้","composer.placeholder.cloudFollowUp.local":"สร้างงานใหม่ในเครื่องที่อ้างอิงงานบนคลาวด์นี้","composer.placeholder.cloudFollowUp.workingTree":"สร้างงานใหม่บนคลาวด์ที่มีโค้ดปัจจุบันของคุณและจะอ้างอิงงานนี้","composer.placeholder.localFollowUp.cloud":"สิ่งต่อเนื่องในงานใหม่บนคลาวด์","composer.placeholder.localFollowUp.locally":"ขอการเปลี่ยนแปลงต่อเนื่อง","composer.placeholder.newTask.cloud":"ขอให้ Codex ทำอะไรก็ได้ในคลาวด์","composer.placeholder.newTask.doAnything":"ขอให้ Codex ทำอะไรก็ได้","composer.placeholder.newTask.locally":"ถาม Codex อะไรก็ได้, @ เพื่อเพิ่มไฟล์, / เพื่อสั่งการ","composer.planModeDropdown":"โหมดวางแผน","composer.planModeDropdown.ariaLabel":"โหมดวางแผน","composer.planModeIndicator":"บริการ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"สร้างแผนด้วย Codex","composer.planModeIndicator.tooltipToggle":"เพื่อสลับ","composer.planSlashCommand.disableDescription":"ปิดโหมดวางแผน","composer.planSlashCommand.enableDescription":"เปิดโหมดวางแผน","composer.planSlashCommand.title":"โหมดวางแผน","composer.priorContext.label":"บริบทก่อนหน้า","composer.priorContext.removeAriaLabel":"ลบบริบทก่อนหน้า","composer.queuedMessage.delete":"ลบข้อความในคิว","composer.queuedMessage.edit":"แก้ไขข้อความ","composer.queuedMessage.more":"การดำเนินการกับกับข้อความในคิว","composer.queuedMessage.sendNow":"ควบคุมการทำงาน","composer.queuedMessage.sendNowTooltip":"ส่งตอนนี้โดยไม่รบกวนงาน","composer.queuedMessage.turnOff":"ปิดการเข้าคิว","composer.reasoningEffort.local.reasoning.tooltip":"เลือกระดับการให้เหตุผล","composer.remote.branchStartingPoint":"งานนี้ควรเริ่มจากสาขาใด","composer.remote.branchesSectionHeading":"สาขา","composer.remote.currentEditsSuffix.followUp":"สร้างงานใหม่ที่อ้างอิงงานบนคลาวด์นี้","composer.remote.currentEditsSuffix.useLocal":"มีการแก้ไขโค้ดในเครื่อง","composer.remote.directFollowUp":"ไม่ใช้การแก้ไขในเครื่อง","composer.remote.errorLoadingBranches":"เกิดข้อผิดพลาดในการโหลดสาขา","composer.remote.fromBranch":"จาก {branch}","composer.remote.fromCurrentBranch":"จาก {branch} (ปัจจุบัน)","composer.remote.loadingMoreBranches":"กำลังโหลด...","composer.remote.localFileStateHeading":"สถานะไฟล์ในเครื่อง","composer.remote.localWorkingTree":"ใช้การเปลี่ยนแปลงในเครื่อง","composer.remote.startingPoint":"งานนี้ควรเริ่มจากโค้ดใด","composer.reviewMode.branches.error":"ไม่สามารถโหลดสาขา","composer.reviewMode.branches.retry":"ลองใหม่","composer.reviewMode.gitRoot.error":"ไม่พบรูท Git","composer.reviewMode.option.baseBranch.simple":"ตรวจสอบโดยเทียบกับสาขาพื้นฐาน","composer.reviewMode.option.unstaged.simple":"ทบทวนการเปลี่ยนแปลงที่ยังไม่คอมมิต","composer.reviewMode.quickReviewError":"เริ่มการตรวจสอบโค้ดไม่สำเร็จ","composer.reviewMode.title":"การตรวจสอบโค้ด","composer.sandboxButton.unlock.disabled.tooltip":"สิทธิเข้าถึงเต็มรูปแบบถูกปิดการใช้งานโดย requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex สามารถใช้แซนด์บ็อกซ์เชิงทดลองบน Windows เพื่อจำกัดการเข้าถึงระบบไฟล์และเครือข่าย {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"เปิดใช้แซนด์บ็อกซ์ Windows หรือไม่","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"ใช้อ่านเท่านั้น","composer.searchEnvironments":"ค้นหาสภาพแวดล้อม","composer.skillMentionList.app":"แอป","composer.skillMentionList.loading":"กำลังโหลดทักษะ...","composer.skillMentionList.noResults":"ไม่พบทักษะ","composer.slashCommands.cloudEnvironment.title":"สภาพแวดล้อมคลาวด์","composer.slashCommands.dialogLabel":"เมนูคำสั่งเครื่องหมายทับ","composer.slashCommands.dialogTitle":"คำสั่งเครื่องหมายทับ","composer.slashCommands.disabledTooltip":"เริ่มบทสนทนาใหม่เพื่อใช้คำสั่งเครื่องหมายทับ","composer.slashCommands.inputPlaceholder":"ค้นหา","composer.slashCommands.noResults":"ไม่มีคำสั่ง","composer.slashCommands.skillsGroup":"ทักษะ","composer.slashCommands.tooltip":"เลือกดูคำสั่งเครื่องหมายทับ","composer.status.close":"ปิด","composer.statusPlain.alertLabel":"การแจ้งเตือน:","composer.statusPlain.alertValue":"เหลือ {remaining}% ใน {window}","composer.statusPlain.contextLabel":"บริบท:","composer.statusPlain.contextTotal":"{count} พัน","composer.statusPlain.contextValueMetadata":"(ใช้แล้ว {used} / {total})","composer.statusPlain.contextValueRemaining":"เหลืออีก {remaining}%","composer.statusPlain.heading":"สถานะ","composer.statusPlain.modelRateLimitSectionLabel":"ขีดจำกัด {modelName}:","composer.statusPlain.rateLimitDays":"จำกัด {count} วัน","composer.statusPlain.rateLimitFallbackLabel":"ขีดจำกัดอัตรา:","composer.statusPlain.rateLimitHours":"จำกัด {count} ชั่วโมง","composer.statusPlain.rateLimitLabelBase":"ขีดจำกัดอัตรา","composer.statusPlain.rateLimitMinutes":"จำกัด {count} นาที","composer.statusPlain.rateLimitPercent":"เหลืออีก {remaining}%","composer.statusPlain.rateLimitReset":"รีเซ็ต {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"รีเซ็ตเวลาไม่สามารถใช้งานได้","composer.statusPlain.rateLimitUnavailable":"ไม่สามารถใช้งานได้","composer.statusPlain.sessionCopiedAriaLabel":"ID เซสชันที่คัดลอก","composer.statusPlain.sessionCopiedTooltip":"ID ที่คัดลอก","composer.statusPlain.sessionCopyAriaLabel":"คัดลอก ID เซสชัน","composer.statusPlain.sessionCopyTooltip":"คัดลอก ID","composer.statusPlain.sessionLabel":"เซสชัน:","composer.statusSlashCommand.description":"แสดง ID เธรด, การใช้บริบท และขีดจำกัดอัตรา","composer.statusSlashCommand.title":"สถานะ","composer.submit.blockedDialogOk":"ตกลง","composer.submit.blockedDialogTitle":"ไม่สามารถส่งข้อความได้","composer.submit.emptyMessage":"ป้อนข้อความเพื่อเริ่มต้นใช้งาน","composer.submit.imageInputsUnsupported":"ลบภาพหรือเปลี่ยนโมเดลเพื่อส่งข้อความนี้","composer.submit.loadingLocalConfig":"กำลังโหลด...","composer.submit.missingCloudConfig":"คุณต้องเลือกสภาพแวดล้อมคลาวด์","composer.submit.missingCloudTurn":"ไม่สามารถติดตามงานนี้ได้","composer.submit.noWorkspace":"เพิ่มโครงการที่จะใช้ Codex","composer.submit.waitForImageUploads":"กำลังอัปโหลดภาพ...","composer.submitButtonTooltip.send":"ส่ง","composer.submitButtonTooltip.stop":"หยุด","composer.worktreeEnvironment.create":"สร้างสภาพแวดล้อมในเครื่อง","composer.worktreeEnvironment.default":"สภาพแวดล้อมเริ่มต้น","composer.worktreeEnvironment.error":"เกิดข้อผิดพลาดขณะโหลดสภาพแวดล้อม","composer.worktreeEnvironment.loading":"กำลังโหลดสภาพแวดล้อม…","composer.worktreeEnvironment.title":"สภาพแวดล้อมในเครื่อง","composer.worktreeEnvironment.tooltip":"เลือกสภาพแวดล้อมในเครื่อง","composer.worktreeSetupFailed":"ตั้งค่าเวิร์กทรีไม่สำเร็จ โปรดดูสคริปต์การตั้งค่าที่ .codex/environments","compoundButton.secondaryAction":"การกระทำรอง","copyButton.copied":"คัดลอกแล้ว","copyButton.copiedAriaLabel":"คัดลอกแล้ว","copyButton.copy":"คัดลอก","copyButton.copyAriaLabel":"คัดลอก","copyButton.copyCode":"คัดลอกรหัส","diff.actionButton.revertFile":"ย้อนกลับไฟล์","diff.actionButton.revertHunk":"ย้อนกลับ","diff.actionButton.revertSection":"ย้อนกลับทั้งหมด","diff.actionButton.revertSectionLabel":"ย้อนกลับทั้งหมด","diff.actionButton.stageFile":"เตรียมไฟล์","diff.actionButton.stageHunk":"เตรียม","diff.actionButton.stageSection":"เตรียมทั้งหมด","diff.actionButton.stageSectionLabel":"เตรียมทั้งหมด","diff.actionButton.unstageFile":"เลิกเตรียมไฟล์","diff.actionButton.unstageHunk":"เลิกเตรียม","diff.actionButton.unstageSection":"เลิกเตรียมทั้งหมด","diff.actionButton.unstageSectionLabel":"เลิกเตรียมทั้งหมด","diff.fileHeader.toggle":"สลับเปิดปิดการเปรียบเทียบไฟล์","electron.onboarding.login.apikey.cancel":"ยกเลิก","electron.onboarding.login.apikey.continue":"ต่อไป","electron.onboarding.login.apikey.label":"คีย์ API ของ OpenAI","electron.onboarding.login.apikey.open":"ป้อนคีย์ API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"ยกเลิกการลงชื่อเข้าใช่","electron.onboarding.login.chatgpt.continue":"ดำเนินการต่อด้วย ChatGPT","electron.onboarding.login.devbox":"เชื่อมต่อกับ SSH ระยะไกล","electron.onboarding.login.error":"ลงชื่อเข้าใช้ไม่สำเร็จ: {rawMessage}","electron.onboarding.login.snake.start":"เล่นเกมงู","electron.onboarding.login.sshConfig.cancel":"ยกเลิก","electron.onboarding.login.sshConfig.continue":"ต่อไป","electron.onboarding.login.sshConfig.hostnameLabel":"ชื่อโฮสต์ SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"วิธีที่ดีที่สุดในการสร้างด้วยเอเจนต์","electron.onboarding.login.title":"ขอต้อนรับสู่ Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"ต่อไป","electron.onboarding.welcome.doubleLimits.description":"เพื่อฉลองการเปิดตัวแอป Codex คุณจะได้รับขีดจำกัดอัตราเป็น 2 เท่าจนถึงวันที่ 2 เมษายน","electron.onboarding.welcome.freego.description":"Codex รวมอยู่ในบริการของคุณฟรีจนถึงวันที่ 2 มีนาคม มาเริ่มสร้างไปด้วยกัน","electron.onboarding.welcome.new.title.anon":"ยินดีต้อนรับ","electron.onboarding.workspace.continue":"ต่อไป","electron.onboarding.workspace.empty":"เพิ่มโครงการเพื่อดำเนินการต่อ","electron.onboarding.workspace.listLabel":"โครงการที่มีอยู่","electron.onboarding.workspace.loading":"กำลังโหลดโครงการ...","electron.onboarding.workspace.openFolder":"เพิ่มโครงการ","electron.onboarding.workspace.selectAll":"เลือกทั้งหมด","electron.onboarding.workspace.skip":"ข้าม","electron.onboarding.workspace.skip.error":"ไม่สามารถสร้างโครงการใหม่: {message}","electron.onboarding.workspace.skip.error.unknown":"ข้อผิดพลาดที่ไม่รู้จัก","electron.onboarding.workspace.skipping":"กำลังสร้างโครงการใหม่...","electron.onboarding.workspace.subtitle":"Codex จะสามารถแก้ไขไฟล์และรันคอมมานด์ในโฟลเดอร์ที่เลือกได้","electron.onboarding.workspace.title":"เลือกโครงการ","errorPage.list.checkSettings":"ลองอัปเดตการตั้งค่า IDE ของคุณ","errorPage.list.configToml":"ตรวจสอบ config.toml ของคุณเพื่อหาการตั้งค่าที่ไม่ถูกต้อง","errorPage.list.downloadExtension":"ลองดาวน์โหลดเวอร์ชันอื่นของส่วนขยายนี้","errorPage.list.runInWsl":"ตรวจสอบการตั้งค่าของคุณเพื่อปิดการใช้งานการรันใน WSL หากคุณพบปัญหาการใช้งานร่วมกันไม่ได้","execApprovalRequest.menu.runAlways":"ใช่ และอย่าถามอีกในเซสชันนี้","execApprovalRequest.menu.runAlwaysWithAmendment":"ใช่ และไม่ต้องถามอีกสำหรับคอมมานด์ที่ขึ้นต้นด้วย {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ใช่ และไม่ต้องถามอีกสำหรับคอมมานด์ที่ขึ้นต้นด้วย","execApprovalRequest.menu.runOnce":"ใช่","execApprovalRequest.prompt":"คุณต้องการรันคำสั่งนี้ใช่หรือไม่","execApprovalRequest.reject":"ไม่","execFooter.exitCode":"รหัสออก {code}","execFooter.exitCode.unknown":"ไม่รู้จัก","execFooter.success":"สำเร็จ","feedback.dialog.category.badResult":"ผลลัพธ์ไม่ดี","feedback.dialog.category.bug":"บั๊ก","feedback.dialog.category.goodResult":"ผลลัพธ์ดี","feedback.dialog.category.other":"อื่นๆ","feedback.dialog.descriptionPlaceholder":"อธิบายปัญหาที่นี่","feedback.dialog.dismiss":"เลิก","feedback.dialog.includeLogsLabel":"ใส่บันทึกเซสชัน Codex ปัจจุบันไปด้วย","feedback.dialog.submit":"ส่ง","feedback.dialog.submitError":"เราไม่สามารถส่งข้อเสนอแนะของคุณได้ โปรดลองอีกครั้งในอีกสักครู่","feedback.dialog.title":"ข้อเสนอแนะ","feedback.dialog.uploadedMessage.existingIssue":"ปัญหาที่เปิดอยู่ที่มีอยู่","feedback.dialog.uploadedMessage.openIssue":"เปิดปัญหาเกี่ยวกับ GitHub","feedback.dialog.uploadedMessage.withThread":"อัปโหลดข้อเสนอแนะแล้ว หากปัญหายังคงอยู่ โปรด {openIssueLink} หรือกล่าวถึง ID เธรดใน {existingIssueLink}:","feedback.dialog.uploadedTitle":"อัปโหลดข้อเสนอแนะแล้ว","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"ลบ {filename}","header.back":"ย้อนกลับ","header.recentChats":"งาน","header.recentTasks.seeAll":"ดูทั้งหมด ({total})","home.header.getPlus":"รับ Plus","home.hero.letsBuild":"มาสร้างกันเลย","homePage.mainContent":"เนื้อหาหลัก","imageAttachment.defaultName":"ภาพ","imageAttachment.preview.close":"ปิดตัวอย่างภาพ","imageAttachment.removeAriaLabel":"ลบ {filename}","implementPlanRequest.option.implement":"ใช่ นำแผนนี้ไปใช้","implementPlanRequest.prompt":"จะนำแผนนี้ไปใช้ใช่หรือไม่","inbox.archived.deleteError":"ไม่สามารถลบการรันที่เก็บถาวร","inbox.archived.deleteRun":"ลบการรันที่เก็บถาวร","inbox.archived.deleteSuccess":"ลบเธรดที่เก็บถาวรแล้ว ดูใน<settingsLink>เธรดที่เก็บถาวร</settingsLink>","inbox.archived.inlineLabel.auto":"เธรดนี้ถูกเก็บถาวรโดยอัตโนมัติ <learnMoreLink>เรียนรู้เพิ่มเติม</learnMoreLink>","inbox.archived.inlineLabel.manual":"เธรดนี้ถูกเก็บถาวรอยู่","inbox.archived.noMessageFound":"ไม่พบข้อความ","inbox.automations.createError":"ไม่สามารถสร้างกระบวนการอัตโนมัติ","inbox.automations.deleteConfirm.cancel":"ยกเลิก","inbox.automations.deleteConfirm.confirm":"ลบการทำงานอัตโนมัติ","inbox.automations.deleteConfirm.description":"การกระทำนี้จะลบการทำงานอัตโนมัติอย่างถาวรและหยุดการรันในอนาคต","inbox.automations.deleteConfirm.title":"จะลบ {name} ใช่หรือไม่","inbox.automations.deleteError":"ไม่สามารถลบการทำงานอัตโนมัติได้","inbox.automations.editTooltip":"แก้ไขกระบวนการอัตโนมัติ","inbox.automations.inProgress":"กำลังดำเนินการ","inbox.automations.new":"ใหม่","inbox.automations.newToolbar":"กระบวนการอัตโนมัติใหม่","inbox.automations.pauseTooltip":"หยุดระบบอัตโนมัติชั่วคราว","inbox.automations.resumeTooltip":"ใช้ระบบอัตโนมัติต่อ","inbox.automations.startingNow":"กำลังเริ่ม","inbox.automations.startsIn":"จะเริ่มต้นใน {startTime}","inbox.automations.status.active":"ใช้งานอยู่","inbox.automations.status.paused":"พักแล้ว","inbox.automations.status.runs":"รัน {count} ครั้ง","inbox.automations.status.started":"เริ่มเมื่อ {date}","inbox.automations.updateError":"ไม่สามารถอัปเดตระบบอัตโนมัติ","inbox.automations.workspaceFallback":"-","inbox.filter.all":"ทั้งหมด","inbox.filter.ariaLabel":"กรองรายการในกล่องจดหมาย","inbox.filter.unread":"ยังไม่ได้อ่าน","inbox.list.archived":"เก็บถาวรแล้ว","inbox.list.inProgress":"กำลังดำเนินการ","inbox.list.recent":"เสร็จสิ้นแล้ว","inbox.list.upNext":"กำหนดเวลาแล้ว","inbox.mode.automations":"ระบบอัตโนมัติ","inbox.mode.automations.beta":"เบตา","inbox.noDescription":"ไม่มีคำอธิบาย","inbox.openThread":"เปิดเธรด","inbox.rightPanel.emptySubtitle":"สั่งให้งานทำอัตโนมัติด้วยการกำหนดตารางเวลางาน","inbox.rightPanel.emptySubtitle.learnMore":"ให้งานดำเนินไปโดยอัตโนมัติด้วยการตั้งค่าเธรดตามกำหนดเวลา<link>เรียนรู้เพิ่มเติม</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# ระบบอัตโนมัติที่ใช้งานอยู่}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"ไม่มีระบบอัตโนมัติที่ไม่ได้อ่าน","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# ระบบอัตโนมัติที่ไม่ได้อ่าน}}","inbox.rightPanel.emptyTitle":"ไม่ได้เลือกรายการใดๆ","inbox.rightPanel.noThread":"ไม่มีเธรดสำหรับรายการนี้","inbox.rightPanel.quickStart.header":"เริ่มด้วยเทมเพลต","inbox.untitled":"รายการที่ไม่มีชื่อในกล่องจดหมาย","loadingPage.documentationLink":"เอกสาร","loadingPage.errorDescription":"Codex หยุดทำงานโดยมีข้อผิดพลาดต่อไปนี้:","loadingPage.errorDescription.documentation":"คลิกโหลดซ้ำเพื่อรีสตาร์ทส่วนขยาย Codex หรือไปที่ {documentationLink} ของเราเพื่อรับความช่วยเหลือเพิ่มเติม","loadingPage.errorSignal":"สิ่งที่ควรลองทำ:","loadingPage.errorTitle":"เกิดข้อผิดพลาด","loadingPage.openConfigToml":"เปิด Config.toml","loadingPage.reload":"โหลดซ้ำ","localConversation.contextCompacted":"บริบทถูกบีบอัดโดยอัตโนมัติ","localConversation.contextCompacting":"กำลังบีบอัดบริบทโดยอัตโนมัติ","localConversation.forkedFromConversation":"ฟอร์กจาก {threadTitle}","localConversation.merge.autoResolve.failed":"ขอการแก้ไขอัตโนมัติไม่สำเร็จ: {error}","localConversation.merge.autoResolve.sent":"ส่งคำขอแก้ไขอัตโนมัติแล้ว","localConversation.merge.autoResolveMerge.missingConversation":"ไม่สามารถแก้ไขโดยอัตโนมัติหากไม่มีบทสนทนาที่ใช้งานอยู่","localConversation.merge.autoResolveMerge.request":"แก้ไขข้อมูลที่ขัดกันขณะผสานโดยอัตโนมัติ","localConversation.modelChanged":"เปลี่ยนโมเดลจาก {fromModel} เป็น {toModel}","localConversation.modelChanged.warning.line1":"การเปลี่ยนโมเดลขณะกำลังสนทนาจะทำให้ประสิทธิภาพลดลง","localConversation.modelChanged.warning.line2":"บริบทอาจถูกบีบอัดโดยอัตโนมัติ","localConversation.moveThread.createBranch.label":"สร้างสาขา","localConversation.moveToLocal.disabled.loading":"กำลังโหลด...","localConversation.moveToLocal.modal.continue":"ต่อไป","localConversation.moveToLocal.modal.destinationLabel":"ย้ายไปยัง","localConversation.moveToLocal.modal.retry":"ลองใหม่","localConversation.moveToWorktree.modal.back":"ย้อนกลับ","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"มีสาขาอยู่แล้ว","localConversation.moveToWorktree.modal.branchesError":"ไม่สามารถโหลดสาขา","localConversation.moveToWorktree.modal.branchesLoading":"กำลังโหลดสาขา...","localConversation.moveToWorktree.modal.branchesRetry":"ลองใหม่","localConversation.moveToWorktree.modal.continue":"ต่อไป","localConversation.moveToWorktree.modal.retry":"ลองใหม่","localConversation.moveToWorktree.modal.trailingSlashError":"ชื่อสาขาต้องไม่ลงท้ายด้วย “/”","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"สาขาใหม่","localConversation.personalityChanged":"เปลี่ยนไปใช้บุคลิก{personality}แล้ว","localConversation.planSummary.collapse":"ยุบสรุปบริการ","localConversation.planSummary.collapseTooltip":"ยุบ","localConversation.planSummary.download":"ดาวน์โหลดแผน","localConversation.planSummary.expand":"ขยายสรุปบริการ","localConversation.planSummary.expandTooltip":"ขยาย","localConversation.planSummary.openInNewWindow":"เปิด","localConversation.planSummary.openInNewWindow.tooltip":"เปิดในหน้าต่างใหม่","localConversation.planSummary.title":"บริการ","localConversation.planSummary.titleWriting":"กำลังเขียนแผน","localConversation.planSummary.viewPlan":"ขยายบริการ","localConversation.remoteTaskCreated":"สร้าง {taskLink} ใน Codex Cloud แล้ว","localConversation.remoteTaskCreated.task":"งาน","localConversation.scrollToBottomButton":"เลื่อนลงไปสุดด้านล่าง","localConversation.sync.buttonLabel":"ส่งต่อไปที่เครื่อง","localConversation.sync.buttonLabel.tooltip":"ส่งต่อการเปลี่ยนแปลงระหว่างเวิร์กทรีนี้กับการเช็คเอาท์ในเครื่องของคุณ","localConversation.sync.modal.loading.title":"กำลังส่งต่อการเปลี่ยนแปลง...","localConversation.sync.modal.noChanges":"ไม่มีการเปลี่ยนแปลง","localConversation.syncSetup.branchAriaLabel":"ชื่อสาขา","localConversation.syncSetup.branchName":"ชื่อสาขา","localConversation.syncSetup.branchPlaceholder.existing":"เลือกสาขาที่มีอยู่","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"กำลังโหลดสาขา...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"เช็คเอาท์แล้ว","localConversation.syncSetup.checkoutClean":"ขณะนี้อยู่ใน {branchName}","localConversation.syncSetup.checkoutDirty":"ขณะนี้อยู่ใน {branchName} โดยมีการเปลี่ยนแปลงที่ยังไม่ได้คอมมิต","localConversation.syncSetup.checkoutError":"เช็คเอาท์สาขาไม่สำเร็จ: {message}","localConversation.syncSetup.checkoutLabel":"เช็คเอาท์ภายในเครื่องตอนนี้","localConversation.syncSetup.checkoutOnLocal":"ส่งต่อไปที่เครื่อง","localConversation.syncSetup.checkoutPending":"กำลังตรวจสอบสถานะในเครื่อง...","localConversation.syncSetup.checkoutUnavailable":"ไม่มีพื้นที่ทำงานในเครื่อง","localConversation.syncSetup.checkoutUnknown":"ไม่มีสาขาในเครื่อง","localConversation.syncSetup.continue":"ต่อไป","localConversation.syncSetup.createBranchError":"ตั้งค่าสาขาส่งต่อไม่สำเร็จ: {message}","localConversation.syncSetup.error":"มีบางอย่างผิดพลาด: {message}","localConversation.syncSetup.error.workingTreeMissing":"ไม่สามารถบันทึกสแนปชอตของเวิร์กทรีได้ โปรดลองทำการส่งต่ออีกครั้ง","localConversation.syncSetup.mode.ariaLabel":"เลือกโหมดสาขา","localConversation.syncSetup.mode.existing":"สาขาที่มีอยู่","localConversation.syncSetup.mode.new":"สาขาใหม่","localConversation.syncSetup.noBranches":"ไม่พบสาขา","localConversation.syncSetup.overwriteError":"สร้างสาขาแล้วแต่ส่งต่อไม่สมบูรณ์ โปรดส่งต่อด้วยตัวเองก่อนที่จะเช็คเอาท์ในเครื่อง","localConversation.syncSetup.setPrefix":"ตั้งค่า Prefix","localConversation.syncSetup.subtitle":"ทดสอบและแก้ไขการเปลี่ยนแปลงเวิร์กทรีภายในเครื่อง <a>เรียนรู้เพิ่มเติม</a>","localConversation.syncSetup.success.checkedOut":"สร้างสาขาและเช็คเอาท์ภายในเครื่องแล้ว","localConversation.syncSetup.success.notCheckedOut":"สร้างสาขาแล้ว","localConversation.syncSetup.title":"ส่งต่อให้สาขาในเครื่อง","localConversation.syncWorktreeError.branchAriaLabel":"ชื่อสาขา","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"เลือกสาขาที่จะส่งต่อให้ จากนั้นลองโหลดการเปลี่ยนแปลงอีกครั้ง","localConversation.syncWorktreeError.branchSetup.title":"อัปเดตสาขา","localConversation.syncWorktreeError.branchUpdate.cta":"อัปเดตและลองอีกครั้ง","localConversation.syncWorktreeError.branchUpdate.error":"อัปเดตสาขาไม่สำเร็จ: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"มีบางอย่างผิดพลาด: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"สาขายังไม่ได้รับการเช็คเอาท์ในเวิร์กทรีใดๆ","localConversation.syncWorktreeV2.applyUncommitted":"ใช้","localConversation.syncWorktreeV2.applyUncommitted.disabled":"คุณต้องเช็คเอาท์สาขาภายในเครื่องเพื่อนำการเปลี่ยนแปลงที่ยังไม่ได้คอมมิตไปใช้","localConversation.syncWorktreeV2.branches.empty":"ไม่พบสาขา","localConversation.syncWorktreeV2.branches.loading":"กำลังโหลดสาขา...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"เปลี่ยนสาขาส่งต่อ","localConversation.syncWorktreeV2.changeBranch.error":"เปลี่ยนสาขาส่งต่อไม่สำเร็จ: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"นำไปใช้ไม่สำเร็จ","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"เขียนทับเวิร์กทรีไม่สำเร็จ","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"เขียนทับในเครื่องไม่สำเร็จ","localConversation.syncWorktreeV2.commandError.back":"ย้อนกลับ","localConversation.syncWorktreeV2.commandError.body":"คอมมานด์ git ล้มเหลวขณะส่งต่อ โปรดตรวจสอบเอาต์พุตแล้วลองใหม่","localConversation.syncWorktreeV2.commandError.retry":"ลองใหม่","localConversation.syncWorktreeV2.description":"ส่งต่อการเปลี่ยนแปลงระหว่างในเครื่องกับเวิร์กทรีนี้ <a>เรียนรู้เพิ่มเติม</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"เลือกทิศทางการส่งต่อ","localConversation.syncWorktreeV2.error.generic":"มีบางอย่างผิดพลาดขณะส่งต่อ โปรดลองอีกครั้ง","localConversation.syncWorktreeV2.localBranchLabel":"ในเครื่อง","localConversation.syncWorktreeV2.noChanges":"กำลังคำนวณการเปลี่ยนแปลง","localConversation.syncWorktreeV2.noChanges.summary":"ไม่มีการเปลี่ยนแปลง","localConversation.syncWorktreeV2.overwrite.local":"เขียนทับในเครื่อง","localConversation.syncWorktreeV2.overwrite.worktree":"เขียนทับเวิร์กทรี","localConversation.syncWorktreeV2.partial.action.applyFailed":"ไม่สามารถใช้การเปลี่ยนแปลงได้","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"ไม่สามารถเขียนทับการเปลี่ยนแปลงภายในเครื่อง","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ไม่สามารถเขียนทับการเปลี่ยนแปลงเวิร์กทรี","localConversation.syncWorktreeV2.partial.appliedLabel":"ใช้แล้ว","localConversation.syncWorktreeV2.partial.back":"ย้อนกลับ","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"แก้ไขความขัดแย้งแล้วลองอีกครั้ง","localConversation.syncWorktreeV2.partial.conflictsLabel":"ความขัดแย้ง","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# ไฟล์}}","localConversation.syncWorktreeV2.partial.retry":"ลองใหม่","localConversation.syncWorktreeV2.partial.skippedLabel":"ข้ามแล้ว","localConversation.syncWorktreeV2.stateFailed.generic":"มีบางอย่างผิดพลาดขณะดึงข้อมูลการเปลี่ยนแปลงเวิร์กทรีที่จะส่งต่อ โปรดลองอีกครั้ง","localConversation.syncWorktreeV2.stateFailed.title":"โหลดการเปลี่ยนแปลงเวิร์กทรีไม่สำเร็จ","localConversation.syncWorktreeV2.statusError.diffUnknown":"โหลดการเปลี่ยนแปลงเวิร์กทรีไม่สำเร็จ","localConversation.syncWorktreeV2.statusError.retry":"ลองใหม่","localConversation.syncWorktreeV2.statusError.title":"ไม่สามารถโหลดการเปลี่ยนแปลงสาขาในเครื่อง","localConversation.syncWorktreeV2.statusError.unknown":"สถานะสาขาไม่พร้อมใช้งานในตอนนี้ โปรดลองอีกครั้ง","localConversation.syncWorktreeV2.success.apply":"นำการเปลี่ยนแปลงไปใช้สำเร็จแล้ว","localConversation.syncWorktreeV2.success.overwrite":"ส่งต่อสำเร็จ","localConversation.syncWorktreeV2.title":"ส่งต่อการเปลี่ยนแปลง","localConversation.syncWorktreeV2.worktreeLabel":"เวิร์กทรี","localConversation.userInputRequest.inProgress":"กำลังถาม {count, plural, other {คำถาม}}","localConversation.userInputRequest.noAnswer":"ไม่มีคำตอบ","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"ถามแล้ว","localConversation.userInputRequest.summary.count":"{count, plural, other {# คำถาม}}","localConversation.workedFor":"ทำงานแล้วเป็นเวลา {time}","localConversation.worktreeBranchSetup.action.create":"สร้าง","localConversation.worktreeBranchSetup.branchAriaLabel":"ชื่อสาขา","localConversation.worktreeBranchSetup.branchPlaceholder.new":"สร้างสาขาใหม่","localConversation.worktreeBranchSetup.checkoutDisabled":"เช็คเอาท์สาขานี้แล้วที่ {location}","localConversation.worktreeBranchSetup.checkoutError":"เช็คเอาท์สาขาไม่สำเร็จ: {message}","localConversation.worktreeBranchSetup.createBranchError":"ตั้งค่าสาขาไม่สำเร็จ: {message}","localConversation.worktreeBranchSetup.error":"มีบางอย่างผิดพลาด: {message}","localConversation.worktreeBranchSetup.subtitle":"สร้างสาขาเพื่อคอมมิตการเปลี่ยนแปลง พุช หรือสร้าง PR จากเวิร์กทรีนี้ <a>เรียนรู้เพิ่มเติม</a>","localConversation.worktreeBranchSetup.title":"ทำงานที่นี่","localConversationPage.addWorktreeToSidebar.tooltip":"บันทึกเป็นโครงการเพื่อให้เริ่มเธรดใหม่จากเวิร์กทรีนี้ได้","localConversationPage.addWorktreeToSidebarError":"เพิ่มโครงการไม่สำเร็จ","localConversationPage.commitAndCreatePrModal.errorTitle":"คอมมิตและสร้าง PR ไม่สำเร็จ","localConversationPage.commitAndCreatePrModal.successTitle":"คอมมิตและสร้าง PR แล้ว","localConversationPage.commitAndPushModal.errorTitle":"คอมมิตและพุชไม่สำเร็จ","localConversationPage.commitAndPushModal.successTitle":"คอมมิตและพุชการเปลี่ยนแปลงแล้ว","localConversationPage.commitCreatePr.open":"เปิด Pull Request","localConversationPage.commitCreatePr.successTitle":"สร้าง PR ที่มีการเปลี่ยนแปลงล่าสุดของคุณแล้ว","localConversationPage.createBranchButtonLabel":"แตกสาขาที่นี่","localConversationPage.createPrModal.baseBranch":"ฐาน","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"สร้าง PR","localConversationPage.createPrModal.createDescription":"เปิด Pulll Request ของการเปลี่ยนแปลงล่าสุดของคุณ","localConversationPage.createPrModal.errorTitle":"Pulll Request ไม่สำเร็จ","localConversationPage.createPrModal.headBranch":"หัว","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"เปิด PR","localConversationPage.createPrModal.successTitle":"สร้าง Pull Request แล้ว","localConversationPage.createPrModal.title":"สร้าง Pull Request","localConversationPage.createPrModal.viewDescription":"มี Pull Request ของสาขานี้อยู่แล้ว","localConversationPage.createPrModal.viewTitle":"Pulll Request พร้อมแล้ว","localConversationPage.createPullRequestAuthGh":"พิสูจน์ตัวตน GitHub CLI: รัน `gh auth login`","localConversationPage.createPullRequestBranchMissing":"ข้อมูลสาขาไม่พร้อมใช้งาน","localConversationPage.createPullRequestButtonLabel":"สร้าง PR","localConversationPage.createPullRequestButtonLabel.loading":"กำลังสร้าง PR...","localConversationPage.createPullRequestDefaultBranchMissing":"ข้อมูลสาขาเริ่มต้นไม่พร้อมใช้งาน","localConversationPage.createPullRequestError":"สร้าง Pull Request ไม่สำเร็จ","localConversationPage.createPullRequestExistingPullRequest":"มี Pull Request ของสาขานี้อยู่แล้ว","localConversationPage.createPullRequestGhStatusMissing":"กำลังโหลดสถานะ GitHub CLI…","localConversationPage.createPullRequestInstallGh":"ติดตั้ง GitHub CLI (gh) เพื่อสร้าง PR","localConversationPage.createPullRequestNoRepo":"ไม่พบคลังโค้ด git","localConversationPage.createPullRequestPushStatusMissing":"กำลังโหลดสถานะพุช...","localConversationPage.createPullRequestSetUpstream":"พุชสาขานี้ก่อนสร้าง PR","localConversationPage.createPullRequestSuccessToast":"สร้าง Pull Request แล้ว","localConversationPage.createPullRequestSwitchBranch":"เช็คเอาท์สาขาฟีเจอร์ก่อนสร้าง PR","localConversationPage.error.render":"เกิดข้อผิดพลาดในการเรนเดอร์บทสนทนาในเครื่อง","localConversationPage.error.toast":"ไม่พบบทสนทนา","localConversationPage.forcePushError":"บังคับพุชไม่สำเร็จ","localConversationPage.generatePullRequestMessageError":"สร้างชื่อและเนื้อความของ Pull Request ไม่สำเร็จ","localConversationPage.generatePullRequestMessageFailed":"สร้างชื่อและเนื้อความของ Pull Request ไม่สำเร็จ","localConversationPage.gitActionResult.branch":"สาขา","localConversationPage.gitActionResult.cancel":"ยกเลิก","localConversationPage.gitActionResult.close":"ปิด","localConversationPage.gitActionResult.tryAgain":"ลองอีกครั้ง","localConversationPage.gitActions":"การกระทำ git","localConversationPage.newChat":"แชตใหม่","localConversationPage.openInTarget":"เปิดใน","localConversationPage.openPrimaryTarget":"เปิด","localConversationPage.planItemsCompleted":"{completedItems} จาก {totalItems, plural, other {# งานเสร็จสมบูรณ์แล้ว}} รายการ","localConversationPage.pushAuthError":"พุชไม่สำเร็จ: จำเป็นต้องมีการพิสูจน์ตัวตน","localConversationPage.pushBranchMissing":"ข้อมูลสาขาไม่พร้อมใช้งาน","localConversationPage.pushButtonLabel":"พุช","localConversationPage.pushButtonLabel.loading":"กำลังพุช...","localConversationPage.pushError":"พุชการเปลี่ยนแปลงไม่สำเร็จ","localConversationPage.pushModal.branchLabel":"สาขา","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"ยกเลิก","localConversationPage.pushModal.confirm":"พุช","localConversationPage.pushModal.description":"พุชคอมมิตล่าสุดของคุณไปยังคลังโค้ดระยะไกล","localConversationPage.pushModal.errorTitle":"พุชไม่สำเร็จ","localConversationPage.pushModal.forcePush":"บังคับพุช","localConversationPage.pushModal.successTitle":"พุชเสร็จสมบูรณ์","localConversationPage.pushModal.title":"การเปลี่ยนแปลงพุช","localConversationPage.pushModal.tryAgain":"ลองอีกครั้ง","localConversationPage.pushNoUpstream":"ตั้งค่าอัปสตรีมก่อนพุชสาขานี้","localConversationPage.pushNoUpstreamError":"พุชไม่สำเร็จ: ไม่มีอัปสตรีมที่กำหนดค่าไว้","localConversationPage.pushNothingToPush":"ไม่มีการคอมมิตใหม่ที่จะพุช","localConversationPage.pushRemoteChangedError":"พุชไม่สำเร็จ: คลังโค้ดระยะไกลมีคอมมิตใหม่","localConversationPage.pushRemoteRejectedError":"พุชถูกปฏิเสธโดยคลังโค้ดระยะไกล","localConversationPage.pushStatusMissing":"กำลังโหลดสถานะพุช...","localConversationPage.pushSuccessToast":"พุชการเปลี่ยนแปลงแล้ว","localConversationPage.viewPullRequestButtonLabel":"ดู PR","localConversationPage.viewPullRequestButtonLabel.loading":"กำลังโหลด Pull Request...","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# ไฟล์}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# รายการ}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# การค้นหา}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"กำลังสำรวจ","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"สำรวจแล้ว","localConversationTurn.exploration.accordion.header.complete.withCounts":"สำรวจแล้ว {counts}","localConversationTurnStory.showContent":"แสดงเนื้อหา","localConversationTurnStory.streamContent":"สตรีมเนื้อหา","localConversationTurnStory.toggleReasoning":"แสดงการให้เหตุผล","localTaskRow.archiveError":"ไม่สามารถเก็บถาวรบทสนทนาได้","localTaskRow.resumeError":"กลับมาทำงานต่อไม่สำเร็จ","mermaidDiagram.ariaLabel":"แผนผัง Mermaid","mermaidDiagram.copySource":"คัดลอกเมอร์เมด","mermaidDiagram.originalCode":"โค้ดต้นทาง Mermaid","notifications.permissions.description":"แสดงข้อความเตือนเมื่อต้องได้รับสิทธิ์การแจ้งเตือน","notifications.permissions.label":"เปิดการใช้งานการแจ้งเตือนการอนุญาต","notifications.turnMode.always":"ตลอด","notifications.turnMode.description":"ตั้งค่าว่า Codex ควรแจ้งให้คุณทราบว่างานเสร็จแล้วในกรณีใดบ้าง","notifications.turnMode.label":"การแจ้งเตือนความสมบูรณ์ของรอบ","notifications.turnMode.off":"ไม่ทำ","notifications.turnMode.unfocused":"เฉพาะเมื่อไม่โฟกัส","patchApprovalRequest.approve":"อนุมัติ","patchApprovalRequest.menu.allowAlways":"ใช่ และอย่าถามอีกในเซสชันนี้","patchApprovalRequest.menu.allowForSession":"ใช่ และอย่าถามอีกในเซสชันนี้","patchApprovalRequest.menu.allowOnce":"ใช่","patchApprovalRequest.prompt":"คุณต้องการทำการเปลี่ยนแปลงเหล่านี้หรือไม่","patchApprovalRequest.reject":"ไม่","patchApprovalRequest.waitingForApproval":"กำลังรอการอนุมัติให้แก้ไขไฟล์","pendingRequest.approvalExec.collapse":"ยุบ","pendingRequest.approvalExec.expand":"ขยาย","pendingRequestStory.toastAnswer":"คำตอบ: {answer}","pendingRequestStory.toastApprovalTitle":"การตอบกลับคำขออนุมัติ","pendingRequestStory.toastFollowupPrompt":"คำสั่ง: {prompt}","pendingRequestStory.toastFollowupTitle":"ส่งคำถามต่อเนื่องแล้ว","pendingRequestStory.toastNoAnswers":"ไม่ได้ให้คำตอบ","pendingRequestStory.toastQuestion":"คำถาม: {question}","pendingRequestStory.toastUnknownDecision":"ไม่รู้จัก","pendingRequestStory.toastUserInputTitle":"คำตอบที่ส่ง","quickAction.request.codeReview.branches.new":"โปรดตรวจทานการเปลี่ยนแปลงเหล่านี้บน {from} โดยเทียบกับ {to}","quickAction.request.codeReview.uncommitted.new":"โปรดทบทวนการเปลี่ยนแปลงที่ไม่ได้คอมมิต","reasoningItem.thinking":"กำลังคิด","reasoningItem.thought":"คิดแล้ว","reasoningItem.thoughtWithElapsed":"คิดเป็นเวลา {elapsed}","recentConversations.title":"บทสนทนาเมื่อเร็วๆ นี้","recentTasks.worktreeInitFailedTitle":"init ของเวิร์กทรีไม่ทำงาน","recentTasks.worktreeSettingUpTitle":"กำลังตั้งค่าเวิร์กทรี","requestInputPanel.continue":"ต่อไป","requestInputPanel.dismiss":"เลิก","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"พิมพ์ที่นี่","requestInputPanel.optionIndex":"{index}","requestInputPanel.otherPlaceholder":"ไม่ และบอก Codex ว่าควรทำอย่างไรที่ต่างออกไป","requestInputPanel.selectedBadge":"ที่เลือกไว้","requestInputPanel.skip":"ข้าม","requestInputPanel.submit":"ส่ง","review.commit.ariaLabel.includeUnstaged":"รวมรายการที่เลิกเตรียมแล้ว","review.commit.buttonLabel":"คอมมิต","review.commit.disabled.committing":"กำลังคอมมิต...","review.commit.disabled.loadingDiff":"กำลังโหลดการเปรียบเทียบ...","review.commit.disabled.missingContext":"เพิ่มบริบทบางอย่างเพื่อสร้างข้อความคอมมิต","review.commit.disabled.noChanges":"ไม่มีการเปลี่ยนแปลงที่จะคอมมิต","review.commit.disabled.noSelection":"เลือกการเปลี่ยนแปลงที่จะคอมมิต","review.commit.disabled.unavailable":"ไม่สามารถคอมมิตได้ในขณะนี้","review.commit.error":"คอมมิตการเปลี่ยนแปลงไม่สำเร็จ","review.commit.form.changesToBeCommitted":"การเปลี่ยนแปลง","review.commit.form.commitTo":"สาขา","review.commit.form.commitTo.none":"-","review.commit.form.continue":"ต่อไป","review.commit.form.title":"คอมมิตการเปลี่ยนแปลงของคุณ","review.commit.generate.emptyResponse":"ไม่สามารถสร้างข้อความคอมมิต","review.commit.generate.failed":"สร้างข้อความคอมมิตไม่สำเร็จ: {error}","review.commit.generate.missingPrompt":"เพิ่มบริบทบางอย่างเพื่อสร้างข้อความคอมมิต","review.commit.includeUnstaged":"รวมรายการที่ยังไม่ได้จัดเตรียมด้วย","review.commit.loading.description":"โปรดรอ การดำเนินการนี้จะใช้เวลาสักครู่","review.commit.loading.step.commit.done":"การเปลี่ยนแปลงที่ยังไม่คอมมิต","review.commit.loading.step.commit.pending":"กำลังทำการเปลี่ยนแปลง","review.commit.loading.step.createPr.done":"สร้าง Pull Request แล้ว","review.commit.loading.step.createPr.pending":"กำลังสร้าง Pull Request","review.commit.loading.step.push.done":"พุชไปยังสาขา {branch} แล้ว","review.commit.loading.step.push.pending":"กำลังพุชไปยังสาขา {branch}","review.commit.loading.title.commit":"กำลังทำการเปลี่ยนแปลง","review.commit.loading.title.createPr":"กำลังสร้าง PR","review.commit.loading.title.push":"กำลังพุชการเปลี่ยนแปลง","review.commit.messageLabel":"ข้อความคอมมิต","review.commit.messagePlaceholder":"เว้นว่างไว้เพื่อสร้างข้อความคอมมิตอัตโนมัติ","review.commit.nextSteps":"ขั้นตอนถัดไป","review.commit.nextSteps.commit":"คอมมิต","review.commit.nextSteps.commitAndCreate":"คอมมิตและสร้าง PR","review.commit.nextSteps.commitAndPush":"คอมมิตและพุช","review.commit.nextSteps.prRequiresGh":"จำเป็นต้องมี GitHub CLI: {command}","review.commit.rows.changes":"การเปลี่ยนแปลง","review.commit.rows.commitCount":"{count, plural, other {# คอมมิต}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# คอมมิต}} และ {stats}","review.commit.rows.fileCount":"{count, plural, other {# ไฟล์}}","review.commit.state.error.body":"มีบางอย่างผิดพลาดขณะคอมมิต โปรดตรวจสอบสถานะ git ของคุณแล้วลองอีกครั้ง","review.commit.state.error.title":"คอมมิตไม่สำเร็จ","review.commit.state.success.title":"คอมมิตการเปลี่ยนแปลงแล้ว","review.commit.untracked.loadingStats":"กำลังโหลดสถิติข้อมูลการเปรียบเทียบที่ไม่ได้ติดตาม...","reviewFindingAttachments.count":"{count, plural, other {ผลลัพธ์ # รายการ}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"แก้ไขการกำหนดค่าของคุณเพื่อปรับแต่งพฤติกรรมของเอเจนต์","settings.agent.configuration.configToml.docs":"เอกสาร","settings.agent.configuration.configToml.restartNote":"รีสตาร์ท Codex หลังจากทำการแก้ไขเพื่อใช้การเปลี่ยนแปลง","settings.agent.configuration.subtitle":"การตั้งค่านี้จะใช้กับทุกที่ที่มีการใช้ Codex","settings.automations.banner.danger":"ระบบอัตโนมัติจะรันโดยใช้การตั้งค่าแซนด์บ็อกซ์เริ่มต้นของคุณ ซึ่งปัจจุบันถูกตั้งไว้เป็นเข้าถึงได้เต็มรูปแบบ การรันระบบอัตโนมัติอยู่ในเบื้องหลังโดยใช้การเข้าถึงเต็มรูปแบบมีความเสี่ยงสูง เนื่องจาก Codex อาจทำการแก้ไขไฟล์ รันคอมมานด์ต่างๆ หรือเข้าถึงเครือข่ายได้โดยไม่ต้องขออนุญาต แนะนำให้พิจารณาปรับการตั้งค่าแซนด์บ็อกซ์เป็นแบบเขียนได้เฉพาะในพื้นที่ทำงาน และใช้<rulesDocsLink>กฎ</rulesDocsLink>เพื่อกำหนดเฉพาะบางคอมมานด์ที่อนุญาตให้เอเจนต์รันด้วยสิทธิ์เข้าถึงเต็มรูปแบบแทน","settings.automations.banner.defaultHowTo.default":"ระบบอัตโนมัติจะรันโดยใช้การตั้งค่าแซนด์บ็อกซ์เริ่มต้นของคุณ การเรียกใช้เครื่องมือจะล้มเหลวหากต้องมีการแก้ไขไฟล์ภายนอกพื้นที่ทำงาน การเข้าถึงเครือข่าย หรือการใช้งานแอปบนคอมพิวเตอร์ของคุณ ทั้งนี้คุณสามารถเลือกอนุญาตเฉพาะบางคอมมานด์ให้รันนอกแซนด์บ็อกซ์ได้โดยการใช้<rulesDocsLink>กฎ</rulesDocsLink>","settings.automations.banner.defaultHowTo.readOnly":"ระบบอัตโนมัติจะรันโดยใช้การตั้งค่าแซนด์บ็อกซ์เริ่มต้นของคุณ ซึ่งตั้งค่าเป็นแบบอ่านเท่านั้น การเรียกใช้เครื่องมือจะล้มเหลวหากต้องมีการแก้ไขไฟล์ภายนอกพื้นที่ทำงาน การเข้าถึงเครือข่าย หรือการใช้งานแอปบนคอมพิวเตอร์ของคุณ แนะนำให้พิจารณาอัปเดตการตั้งค่าแซนด์บ็อกซ์ให้เป็นแบบเขียนภายในพื้นที่ทำงาน","settings.automations.cancel":"ยกเลิก","settings.automations.create":"สร้าง","settings.automations.cwdEmpty":"ไม่มีโฟลเดอร์โครงการ","settings.automations.cwdLabel":"โครงการ","settings.automations.cwdPlaceholder":"เลือกโฟลเดอร์","settings.automations.cwdSubtitle":"หากคุณต้องการให้ระบบอัตโนมัติทำงานในสาขาใดโดยเฉพาะ คุณสามารถระบุสาขาดังกล่าวไว้ในคำสั่ง","settings.automations.delete":"ลบ","settings.automations.dialog.editTitle":"แก้ไขกระบวนการอัตโนมัติ","settings.automations.dialog.newTitle":"กระบวนการอัตโนมัติใหม่","settings.automations.dialog.subtitle":"จัดการงานที่ต้องทำซ้ำๆ ให้เป็นระบบอัตโนมัติในเบื้องหลัง โดย Codex จะเพิ่มข้อมูลที่ค้นพบลงในกล่องขาเข้าหรือจะเก็บงานนั้นถาวรโดยอัตโนมัติหากไม่มีอะไรให้รายงาน <learnMoreLink>เรียนรู้เพิ่มเติม</learnMoreLink>","settings.automations.dialog.title":"สร้างกระบวนการอัตโนมัติ","settings.automations.executionCopy.git":"ระบบอัตโนมัติจะทำงานในเบื้องหลังบนเวิร์กทรีที่กำหนดไว้โดยเฉพาะ","settings.automations.executionCopy.nonGit":"ระบบอัตโนมัติในโครงการที่ไม่ได้ควบคุมโดยเวอร์ชันจะรันในไดเรกทอรีโครงการโดยตรง แนะนำให้พิจารณาใช้ git เพื่อเปิดให้รันบนเวิร์กทรีในเบื้องหลัง","settings.automations.executionEnvironment.local":"ในเครื่อง","settings.automations.executionEnvironment.worktree":"เวิร์กทรี","settings.automations.loading":"กำลังโหลด...","settings.automations.nameLabel":"ชื่อ","settings.automations.namePlaceholder":"ตรวจหาสอบปัญหาเกี่ยวกับ Sentry","settings.automations.pause":"หยุดชั่วคราว","settings.automations.promptLabel":"คำสั่ง","settings.automations.promptPlaceholder":"หาความล้มเหลวใน $Sentry","settings.automations.resume":"กลับมาใช้งานต่อ","settings.automations.rruleSummaryFallback":"กำหนดเวลาแบบกำหนดเอง","settings.automations.runNow":"ทดสอบ","settings.automations.save":"บันทึก","settings.automations.scheduleBadge.dayCount":"{count} วัน","settings.automations.scheduleBadge.interval":"{count} ชม.","settings.automations.scheduleBadge.weekdays":"วันธรรมดา","settings.automations.scheduleBadge.weekends":"สุดสัปดาห์","settings.automations.scheduleHeader":"ตาราง","settings.automations.scheduleHours":"ชั่วโมง","settings.automations.scheduleLabel":"รันทุก","settings.automations.scheduleMode.daily":"ทุกวัน","settings.automations.scheduleMode.interval":"ช่วงเวลา","settings.automations.scheduleModeLabel":"ประเภทกำหนดเวลา","settings.automations.scheduleSummary.daily":"ทุกวัน เวลา {time}","settings.automations.scheduleSummary.interval":"ทุก {count} ชั่วโมง","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# วัน}}","settings.automations.scheduleSummary.intervalDays":"{interval} ในวัน {days}","settings.automations.scheduleSummary.intervalHourly":"รายชั่วโมง","settings.automations.scheduleSummary.singleDay":"{day} เวลา {time}","settings.automations.scheduleSummary.weekdays":"วันจันทร์-ศุกร์ เวลา {time}","settings.automations.scheduleSummary.weekdaysLabel":"วันจันทร์-ศุกร์","settings.automations.scheduleSummary.weekends":"วันเสาร์-อาทิตย์ เวลา {time}","settings.automations.scheduleSummary.weekendsLabel":"วันเสาร์-อาทิตย์","settings.automations.scheduleSummary.weekly":"{days} เวลา {time}","settings.automations.scheduleWeekdays":"เปิด","settings.automations.weekdayState.excluded":"ไม่รวม","settings.automations.weekdayState.included":"รวม","settings.conversationDetail.steps":"ขั้นตอน","settings.conversationDetail.steps.description":"ซ่อนคำสั่งและเอาต์พุต","settings.conversationDetail.stepsWithCommands":"ขั้นตอนที่มีคำสั่งโค้ด","settings.conversationDetail.stepsWithCommands.description":"แสดงคำสั่ง ยุบเอาต์พุต","settings.conversationDetail.stepsWithOutput":"ขั้นตอนที่มีอินพุตโค้ด","settings.conversationDetail.stepsWithOutput.description":"แสดงคำสั่งและขยายเอาต์พุต","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date} เวลา {time} • {repo}","settings.dataControls.archivedChats.empty":"ไม่มีแชตที่เก็บถาวร","settings.dataControls.archivedChats.error":"ไม่สามารถโหลดแชตที่เก็บถาวร","settings.dataControls.archivedChats.loading":"กำลังโหลดแชตที่เก็บถาวร...","settings.dataControls.archivedChats.unarchive":"ยกเลิกการเก็บถาวร","settings.dataControls.archivedChats.unarchiveError":"ยกเลิกการเก็บแชตถาวรไม่สำเร็จ","settings.dataControls.archivedChats.unarchiveSuccess":"ยกเลิกการเก็บเธรดถาวรแล้ว <viewNowLink>ดูเลย</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"ยกเลิกการเก็บถาวรเธรดแล้ว","settings.dataControls.archivedChats.untitled":"แชตที่ไม่มีชื่อ","settings.dataControls.archivedChats.viewNow":"ดูตอนนี้","settings.editRow.headerPlaceholder":"คีย์","settings.editRow.removeEntry":"ลบค่าออก","settings.editRow.valuePlaceholder":"ค่า","settings.general.appearance":"รูปลักษณ์","settings.general.appearance.codeFont":"ฟอนต์โค้ด","settings.general.appearance.codeFont.description":"ปรับฟอนต์และขนาดที่ใช้แสดงโค้ดในแชตและการเปรียบเทียบโค้ดทั้งหมด","settings.general.appearance.codeFontFamily":"ตระกูลฟอนต์สำหรับโค้ด","settings.general.appearance.codeFontSize":"ขนาดฟอนต์โค้ด","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ทำให้หน้าต่างใช้พื้นหลังสีทึบแทนแบบโปร่งแสงของระบบ","settings.general.appearance.opaqueWindows.label":"ใช้พื้นหลังหน้าต่างแบบทึบแสง","settings.general.appearance.sansFontFamily":"ตระกูลฟอนต์ Sans","settings.general.appearance.sansFontFamily.description":"ปรับฟอนต์ที่ใช้สำหรับ Codex UI","settings.general.appearance.sansFontSize":"ขนาดฟอนต์ Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"แสดงเอฟเฟกต์การฉลองแบบเต็มหน้าต่างขณะที่ GPT-5.3-Codex-Spark รันรอบแรก","settings.general.appearance.sparkCelebrationEffects.label":"เอฟเฟกต์การฉลองเป็นประกาย","settings.general.appearance.theme":"ธีม","settings.general.appearance.theme.dark":"มืด","settings.general.appearance.theme.description":"ใช้แบบสว่าง มืด หรือตามระบบของคุณ","settings.general.appearance.theme.light":"สว่าง","settings.general.appearance.theme.system":"ระบบ","settings.general.appearance.usePointerCursors.description":"เปลี่ยนเคอร์เซอร์เป็นตัวชี้เมื่อวางเคอร์เซอร์บนองค์ประกอบเชิงโต้ตอบ","settings.general.appearance.usePointerCursors.label":"ใช้เคอร์เซอร์แบบตัวชี้","settings.general.enterBehavior.description":"เมื่อเปิดการใช้งาน คำสั่งแบบหลายบรรทัดจะต้องกด {modifierSymbol} + enter เพื่อส่ง","settings.general.enterBehavior.label":"ต้องกด {modifierSymbol} + enter เพื่อส่งคำสั่งขนาดยาว","settings.general.experimentalFeatures":"คุณสมบัติขั้นทดลอง (เบตา)","settings.general.experimentalFeatures.empty":"ไม่มีคุณสมบัติขั้นทดลอง (เบตา) ที่พร้อมใช้งาน","settings.general.experimentalFeatures.loading":"กำลังโหลดคุณสมบัติขั้นทดลอง…","settings.general.experimentalFeatures.restartNote":"รีสตาร์ท Codex เพื่อใช้การเปลี่ยนแปลงของคุณสมบัติขั้นทดลอง","settings.general.experimentalFeatures.toggle":"สลับ {featureName}","settings.general.followUpQueueMode.description":"เข้าคิวคำสั่งต่อเนื่องขณะที่ Codex กำลังรันหรือควบคุมการรันปัจจุบันการรันปัจจุบัน กด {invertFollowUpShortcutLabel} เพื่อทำตรงกันข้ามสำหรับหนึ่งข้อความ","settings.general.followUpQueueMode.interrupt":"ควบคุมการทำงาน","settings.general.followUpQueueMode.label":"พฤติกรรมต่อเนื่อง","settings.general.followUpQueueMode.queue":"เข้าคิว","settings.general.notifications":"การแจ้งเตือน","settings.general.power.preventSleepWhileRunning.description":"ทำให้คอมพิวเตอร์ทำงานในขณะที่ Codex กำลังรันเธรด","settings.general.power.preventSleepWhileRunning.label":"ป้องกันการเข้าสู่โหมดสลีปขณะกำลังรัน","settings.git.branchPrefix.ariaLabel":"คำนำหน้าสาขา","settings.git.branchPrefix.description":"คำนำหน้าที่ใช้เมื่อสร้างสาขาใน Codex","settings.git.branchPrefix.label":"คำนำหน้าสาขา","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"บันทึกคำนำหน้าสาขาไม่สำเร็จ","settings.git.branchPrefix.save.success":"บันทึกคำนำหน้าสาขาแล้ว","settings.git.commitInstructions.ariaLabel":"คำสั่งคอมมิต","settings.git.commitInstructions.description":"เพิ่มไปที่คำสั่งสร้างข้อความคอมมิตแล้ว","settings.git.commitInstructions.label":"คำสั่งคอมมิต","settings.git.commitInstructions.placeholder":"เพิ่มแนวทางสำหรับข้อความคอมมิต...","settings.git.commitInstructions.save":"บันทึก","settings.git.commitInstructions.save.error":"บันทึกคำสั่งคอมมิตไม่สำเร็จ","settings.git.commitInstructions.save.success":"บันทึกคำสั่งคอมมิตแล้ว","settings.git.forcePush.ariaLabel":"บังคับพุชเสมอ","settings.git.forcePush.description":"ใช้ --force-with-lease เมื่อพุชจาก Codex","settings.git.forcePush.label":"บังคับพุชเสมอ","settings.git.forcePush.save.disabled":"บังคับพุชเสมอปิดการใช้งานแล้ว","settings.git.forcePush.save.enabled":"บังคับพุชเสมอเปิดการใช้งานแล้ว","settings.git.forcePush.save.error":"บันทึกการตั้งค่าบังคับพุชไม่สำเร็จ","settings.git.prInstructions.ariaLabel":"คำสั่ง Pull Request","settings.git.prInstructions.description":"ต่อท้ายไปที่เนื้อความ Pull Request ที่ Codex สร้างแล้ว","settings.git.prInstructions.label":"คำสั่ง Pull Request","settings.git.prInstructions.placeholder":"เพิ่มแนวทางสำหรับ Pull Request...","settings.git.prInstructions.save":"บันทึก","settings.git.prInstructions.save.error":"บันทึกคำสั่ง Pull Request ไม่สำเร็จ","settings.git.prInstructions.save.success":"บันทึกคำสั่ง Pull Request แล้ว","settings.ide.defaultOpenTarget.description":"ที่ซึ่งไฟล์กับโฟลเดอร์จะเปิดโดยอัตโนมัติ","settings.ide.defaultOpenTarget.label":"ปลายทางแบบเปิดเริ่มต้น","settings.ide.defaultOpenTarget.placeholder":"ไม่พบเป้าหมาย","settings.ide.language.auto":"ตรวจจับอัตโนมัติ","settings.ide.language.autoOption":"ตรวจจับอัตโนมัติ","settings.ide.language.description":"ภาษาสำหรับ UI แอป","settings.ide.language.label":"ภาษา","settings.ide.language.search":"ค้นหาภาษา","settings.layout.actionButton":"รีสตาร์ทส่วนขยาย","settings.layout.actionTitle":"การตั้งค่าที่มีการกระทำ","settings.layout.fullWidthTitle":"การตั้งค่า (เต็มความกว้าง)","settings.layout.title":"การตั้งค่า","settings.localEnvironments.actions.add":"เพิ่มการกระทำ","settings.localEnvironments.actions.add.description":"สร้างคำสั่งใหม่เพื่อรันจากแถบเครื่องมือ","settings.localEnvironments.actions.add.save":"บันทึก","settings.localEnvironments.actions.empty":"เพิ่มการกระทำเพื่อรันคอมมานด์จากแถบเครื่องมือในเครื่อง","settings.localEnvironments.actions.icon.debug":"ดีบัก","settings.localEnvironments.actions.icon.run":"รัน","settings.localEnvironments.actions.icon.test":"ทดสอบ","settings.localEnvironments.actions.icon.tool":"เครื่องมือ","settings.localEnvironments.actions.item.button.delete":"ลบ","settings.localEnvironments.actions.item.command":"สคริปต์การกระทำ","settings.localEnvironments.actions.item.name":"ชื่อ","settings.localEnvironments.actions.item.platforms":"แพลตฟอร์ม","settings.localEnvironments.actions.item.platforms.help":"รันในระบบปฏิบัติการที่ระบุเท่านั้น","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"การเลือกแพลตฟอร์ม","settings.localEnvironments.actions.item.platforms.specific":"เฉพาะแพลตฟอร์มที่ระบุ","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"ลบ","settings.localEnvironments.actions.title":"การกระทำ","settings.localEnvironments.breadcrumb.back":"ย้อนกลับ","settings.localEnvironments.breadcrumb.edit":"แก้ไข","settings.localEnvironments.breadcrumb.root":"สภาพแวดล้อม","settings.localEnvironments.environment.actions.description":"การกระทำเหล่านี้สามารถรันคอมมานด์ได้ทั้งหมดและจะแสดงในส่วนเฮดเดอร์","settings.localEnvironments.environment.actionsLabel":"การกระทำ","settings.localEnvironments.environment.create":"สร้างสภาพแวดล้อมในเครื่อง","settings.localEnvironments.environment.defaultName":"ในเครื่อง","settings.localEnvironments.environment.edit":"แก้ไขสภาพแวดล้อมในเครื่อง","settings.localEnvironments.environment.empty":"ยังไม่ได้กำหนดค่าสภาพแวดล้อมในเครื่องสำหรับโครงการนี้","settings.localEnvironments.environment.name":"ชื่อ","settings.localEnvironments.environment.setup":"สคริปต์การตั้งค่า","settings.localEnvironments.environment.setup.description":"สคริปนี้จะรันในการสร้างเวิร์กทรี","settings.localEnvironments.environment.setup.hint":"รันในรากโครงการ","settings.localEnvironments.environment.setup.platformOverrides":"การใช้แทนค่าเดิมของแพลตฟอร์ม","settings.localEnvironments.environment.setup.platformOverrides.add":"เพิ่มสคริปต์การตั้งค่า {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"แทนที่สคริปต์เริ่มต้นของระบบปฏิบัติการที่ระบุ","settings.localEnvironments.environment.setup.platformOverrides.remove":"ลบ","settings.localEnvironments.environment.setup.script":"สคริปต์","settings.localEnvironments.environment.title":"รายละเอียดสภาพแวดล้อม","settings.localEnvironments.file.missing":"บันทึกเพื่อสร้างไฟล์นี้เป็นครั้งแรก","settings.localEnvironments.file.parseError":"ไม่สามารถแยกวิเคราะห์ไฟล์ที่มีอยู่ การบันทึกจะเป็นการแทนที่ไฟล์นี้ ({error})","settings.localEnvironments.file.path":"ไฟล์: {path}","settings.localEnvironments.file.readError":"โหลดข้อมูลสภาพแวดล้อมในเครื่องไม่สำเร็จ ({error})","settings.localEnvironments.file.title":"ไฟล์ในสภาพแวดล้อมในเครื่อง","settings.localEnvironments.loading.body":"กำลังดึงข้อมูลการกำหนดค่าโครงการ","settings.localEnvironments.loading.title":"กำลังโหลดสภาพแวดล้อมในเครื่อง","settings.localEnvironments.preview.devOnly":"(DEV เท่านั้น)","settings.localEnvironments.preview.save":"บันทึก","settings.localEnvironments.preview.saveError":"บันทึกไฟล์ไม่สำเร็จ ({error})","settings.localEnvironments.preview.title":"ดูตัวอย่าง","settings.localEnvironments.save.disabled.name":"เพิ่มชื่อสภาพแวดล้อมเพื่อบันทึก","settings.localEnvironments.save.disabled.noChanges":"ไม่มีการเปลี่ยนแปลงให้บันทึก","settings.localEnvironments.save.disabled.saving":"กำลังบันทึก...","settings.localEnvironments.save.success":"บันทึกสภาพแวดล้อมในเครื่องแล้ว","settings.localEnvironments.unavailable.body":"เราไม่สามารถโหลดการตั้งค่าสภาพแวดล้อมในเครื่องของโครงการนี้","settings.localEnvironments.unavailable.title":"ไม่มีค่าสภาพแวดล้อมในเครื่อง","settings.localEnvironments.workspace.add":"เพิ่มโครงการ","settings.localEnvironments.workspace.title":"โครงการ","settings.localEnvironments.workspaceSelect.addLabel":"เพิ่มสภาพแวดล้อม","settings.localEnvironments.workspaceSelect.description":"สภาพแวดล้อมในเครื่องเป็นตัวบอกวิธีการตั้งค่าเวิร์กทรีของโครงการแก่ Codex {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ยังไม่มีโครงการ เพิ่มโครงการเพื่อกำหนดค่าสภาพแวดล้อมในเครื่อง","settings.localEnvironments.workspaceSelect.errorLabel":"โปรดดำเนินการกับสภาพแวดล้อม","settings.localEnvironments.workspaceSelect.learnMore":"เรียนรู้เพิ่มเติม","settings.localEnvironments.workspaceSelect.listLabel":"โครงการที่มีอยู่","settings.localEnvironments.workspaceSelect.loading":"กำลังโหลดโครงการ","settings.localEnvironments.workspaceSelect.loadingLabel":"กำลังโหลดพื้นที่ทำงาน","settings.localEnvironments.workspaceSelect.title":"เลือกโครงการ","settings.localEnvironments.workspaceSelect.viewAction":"ดู","settings.mcp.addServer":"เพิ่มเซิร์ฟเวอร์","settings.mcp.app.configure":"กำหนดค่า","settings.mcp.app.connect":"เชื่อมต่อ","settings.mcp.apps.refresh":"รีเฟรช","settings.mcp.detail.addArgument":"เพิ่มอาร์กิวเมนต์","settings.mcp.detail.addEnvVar":"เพิ่มตัวแปรสภาพแวดล้อม","settings.mcp.detail.addEnvVarPassthrough":"เพิ่มตัวแปร","settings.mcp.detail.args":"อาร์กิวเมนต์","settings.mcp.detail.back":"ย้อนกลับ","settings.mcp.detail.command":"คำสั่งเปิด","settings.mcp.detail.cwd":"ไดเรกทอรีที่ใช้งานอยู่","settings.mcp.detail.docs":"เปิดเอกสาร MCP","settings.mcp.detail.docs.link":"เอกสาร","settings.mcp.detail.envVarPassthrough":"การผ่านตัวแปรสภาพแวดล้อม","settings.mcp.detail.envVars":"ตัวแปรสภาพแวดล้อม","settings.mcp.detail.http.addEnvHeader":"เพิ่มตัวแปร","settings.mcp.detail.http.addHeader":"เพิ่มส่วนหัว","settings.mcp.detail.http.bearerToken":"env var token ผู้ถือ","settings.mcp.detail.http.envHeaders":"ส่วนหัวจากตัวแปรสภาพแวดล้อม","settings.mcp.detail.http.headers":"ส่วนหัว","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"ชื่อ","settings.mcp.detail.save":"บันทึก","settings.mcp.detail.switchTransportNotice":"หากต้องการเปลี่ยนประเภทเซิร์ฟเวอร์ MCP ให้ถอนการติดตั้งก่อน","settings.mcp.detail.titleExisting":"อัปเดต {name} MCP","settings.mcp.detail.titleNew":"เชื่อมต่อกับ MCP ที่กำหนดเอง","settings.mcp.detail.transport.http":"HTTP แบบสตรีมได้","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"ถอนการติดตั้ง","settings.mcp.empty":"ไม่มีการเชื่อมต่อเซิร์ฟเวอร์ MCP แบบกำหนดเอง","settings.mcp.myServers":"เซิร์ฟเวอร์แบบกำหนดเอง","settings.mcp.partnerServer.description.figma":"สร้างโค้ดได้ดีขึ้นด้วยการใส่บริบท Figma ที่สมบูรณ์","settings.mcp.partnerServer.description.github":"ผสานรวมกับ GitHub API เพื่อทำให้เวิร์กโฟลว์ทำงานอัตโนมัติและดึงข้อมูล","settings.mcp.partnerServer.description.linear":"ผสานรวมกับการติดตามปัญหาและการจัดการโครงการของ Linear","settings.mcp.partnerServer.description.notion":"อ่านเอกสาร อัปเดตหน้าต่างๆ จัดการงาน","settings.mcp.partnerServer.description.playwright":"ผสานการทำงานอัตโนมัติของเบราว์เซอร์เพื่อนำงานออกแบบมาใช้และทดสอบ UI","settings.mcp.partnerServer.install":"ติดตั้ง","settings.mcp.partnerServer.installAndAuthenticate":"ติดตั้งและพิสูจน์ตัวตน","settings.mcp.partnerServer.logoAlt":"โลโก้ {label}","settings.mcp.partnerServer.manage":"จัดการ","settings.mcp.partnerServer.vendor":"โดย {vendor}","settings.mcp.recommendedServers":"เซิร์ฟเวอร์ที่แนะนำ","settings.mcp.restartApp":"รีสตาร์ท","settings.mcp.restartExtension":"รีสตาร์ทส่วนขยาย","settings.mcp.server.enable":"เปิดการใช้งาน","settings.mcp.server.login":"พิสูจน์ตัวตน","settings.mcp.server.settings":"การตั้งค่า","settings.multiselect.createOption":'สร้าง "{value}"',"settings.multiselect.removeOption":"ลบ","settings.nav.account":"บัญชี","settings.nav.agent":"การกำหนดค่าดูการกำหนดค่า","settings.nav.ariaLabel":"การตั้งค่า","settings.nav.back":"กลับไปที่แอป","settings.nav.data-controls":"เธรดที่เก็บถาวร","settings.nav.environments":"สภาพแวดล้อมคลาวด์","settings.nav.externalTooltip":"[อัลฟา] เปิดในเบราว์เซอร์","settings.nav.general-settings":"ทั่วไป","settings.nav.git-settings":"Git","settings.nav.local-environments":"สภาพแวดล้อม","settings.nav.mcp-settings":"เซิร์ฟเวอร์ MCP","settings.nav.notImplemented":"[อัลฟา] ไม่มีให้บริการในอัลฟา","settings.nav.personalization":"การปรับแต่งเฉพาะบุคคล","settings.nav.skills-settings":"ทักษะ","settings.nav.usage-analytics":"การใช้งานและการวิเคราะห์","settings.nav.worktrees":"เวิร์กทรี","settings.openSourceLicenses.back":"ย้อนกลับ","settings.openSourceLicenses.loading":"กำลังโหลด...","settings.openSourceLicenses.missing":"ไม่พบประกาศของบุคคลที่สาม","settings.openSourceLicenses.notSupported":"ไม่มีในโฮสต์นี้","settings.openSourceLicenses.rowDescription":"ประกาศของบุคคลที่สามเกี่ยวกับองค์ประกอบที่ขึ้นต่อกันแบบรวมชุด","settings.openSourceLicenses.rowLabel":"สัญญาอนุญาตโอเพนซอร์ส","settings.openSourceLicenses.subtitle":"ประกาศของบุคคลที่สามเกี่ยวกับองค์ประกอบที่ขึ้นต่อกันในแอปนี้","settings.openSourceLicenses.title":"สัญญาอนุญาตโอเพนซอร์ส","settings.openSourceLicenses.view":"ดู","settings.personalization.agents.description":"แก้ไขคำสั่งที่ปรับแต่ง Codex ให้เข้ากับคุณ {learnMore}","settings.personalization.agents.learnMore":"เรียนรู้เพิ่มเติม","settings.personalization.agents.loadError":"ไม่สามารถโหลด agents.md","settings.personalization.agents.loading":"กำลังโหลด agents.md...","settings.personalization.agents.placeholder":"เพิ่มคำสั่งแบบกำหนดเองของคุณ...","settings.personalization.agents.retry":"ลองใหม่","settings.personalization.agents.save":"บันทึก","settings.personalization.agents.save.error":"ไม่สามารถบันทึก agents.md","settings.personalization.agents.save.success":"บันทึก agents.md แล้ว","settings.personalization.agents.title":"คำสั่งแบบกำหนดเอง","settings.personalization.personality.description":"เลือกโทนภาษาเริ่มต้นสำหรับคำตอบของ Codex","settings.personalization.personality.label":"บุคลิก","settings.sample.contentBody":"ใช้เค้าโครงนี้เพื่อสร้างแผงการตั้งค่าของคุณที่มีการเว้นระยะที่สม่ำเสมอ","settings.sample.contentTitle":"บล็อกเนื้อหาตัวอย่าง","settings.section.account":"บัญชี","settings.section.agent":"การกำหนดค่าดูการกำหนดค่า","settings.section.data-controls":"เธรดที่เก็บถาวร","settings.section.environments":"สภาพแวดล้อมคลาวด์","settings.section.external":"เปิดในเบราว์เซอร์ของคุณในช่วงอัลฟา","settings.section.general-settings":"ทั่วไป","settings.section.git-settings":"Git","settings.section.local-environments":"สภาพแวดล้อม","settings.section.mcp-settings":"เซิร์ฟเวอร์ MCP","settings.section.mcp-settings.docs":"เอกสาร","settings.section.mcp-settings.subtitle":"เชื่อมต่อเครื่องมือและแหล่งข้อมูลภายนอก","settings.section.personalization":"การปรับแต่งเฉพาะบุคคล","settings.section.skills-settings":"ทักษะ","settings.section.unavailable":"ยังไม่มีให้บริการในอัลฟา","settings.section.usage-analytics":"การใช้งานและการวิเคราะห์","settings.section.worktrees":"เวิร์กทรี","settings.threadDetail.description":"เลือกจำนวนเอาต์พุตคำสั่งที่จะแสดงในเธรด","settings.threadDetail.label":"รายละเอียดเธรด","settings.worktrees.conversation.untitled":"บทสนทนาที่ไม่มีชื่อ","settings.worktrees.delete.error":"ลบเวิร์กทรีไม่สำเร็จ","settings.worktrees.empty.body":"เวิร์กทรีที่สร้างโดย Codex จะปรากฏที่นี่","settings.worktrees.empty.title":"ยังไม่มีเวิร์กทรี","settings.worktrees.error.body":"มีบางอย่างผิดพลาดระหว่างการโหลดเวิร์กทรี","settings.worktrees.error.retry":"ลองใหม่","settings.worktrees.error.title":"ไม่สามารถโหลดเวิร์กทรี","settings.worktrees.loading.body":"กำลังดึงรายละเอียดเวิร์กทรี","settings.worktrees.loading.title":"กำลังโหลดเวิร์กทรี","settings.worktrees.repository.loading":"กำลังโหลดเมทาดาตา Repository...","settings.worktrees.repository.unknown":"Repository ที่ไม่รู้จัก","settings.worktrees.row.conversations":"บทสนทนา","settings.worktrees.row.conversations.empty":"ไม่มีการลิงก์บทสนทนากับเวิร์กทรีนี้","settings.worktrees.row.conversations.loading":"กำลังโหลดบทสนทนา...","settings.worktrees.row.delete":"ลบ","settings.worktrees.row.title":"เวิร์กทรี","sidebarElectron.addWorkspaceRoot":"เพิ่มโครงการใหม่","sidebarElectron.archiveThread":"เก็บถาวรเธรด","sidebarElectron.archiveThreadError":"เก็บถาวรเธรดไม่สำเร็จ","sidebarElectron.collapseFolder":"ยุบโฟลเดอร์","sidebarElectron.createStableWorktree.dialog.cancel":"ยกเลิก","sidebarElectron.createStableWorktree.dialog.create":"สร้าง","sidebarElectron.debugNavLink":"ดีบัก","sidebarElectron.editWorkspaceRootOptionName":"แก้ไขชื่อ","sidebarElectron.expandFolder":"ขยายโฟลเดอร์","sidebarElectron.groupByMenu.recency":"รายการตามลำดับเวลา","sidebarElectron.groupByMenu.title":"จัดระเบียบ","sidebarElectron.groupByMenu.workspace":"ตามโครงการ","sidebarElectron.inboxRouteNavLink":"ระบบอัตโนมัติ","sidebarElectron.markThreadUnread":"ทำเครื่องหมายว่ายังไม่ได้อ่าน","sidebarElectron.missingWorkspaceRoot":"โฟลเดอร์โครงการถูกลบหรือย้ายไปแล้ว","sidebarElectron.newThread":"เธรดใหม่","sidebarElectron.newThreadInGroup":"เริ่มเธรดใหม่ใน {folder}","sidebarElectron.noRecentThreads":"ไม่มีเธรดเมื่อเร็วๆ นี้","sidebarElectron.noTasks":"ไม่มีเธรด","sidebarElectron.noTasks.start":"เพิ่มโครงการใหม่","sidebarElectron.noTasksWithFilter":"ไม่มีเธรดที่ตรงกับตัวกรอง","sidebarElectron.pinnedThreads":"เธรดที่ปักหมุด","sidebarElectron.recentNavLink":"เธรด","sidebarElectron.recentThreads":"เธรดเมื่อเร็วๆ นี้","sidebarElectron.removeWorkspaceRootOption":"ลบ","sidebarElectron.renameThread":"เปลี่ยนชื่อเธรด","sidebarElectron.renameThreadDialogAriaLabel":"หัวข้อเธรด","sidebarElectron.renameThreadDialogCancel":"ยกเลิก","sidebarElectron.renameThreadDialogPlaceholder":"เพิ่มหัวข้อ...","sidebarElectron.renameThreadDialogSave":"บันทึก","sidebarElectron.renameThreadDialogSubtitle":"ทำให้สั้นและเข้าใจง่าย","sidebarElectron.renameThreadDialogTitle":"เปลี่ยนชื่อเธรด","sidebarElectron.renameThreadError":"ไม่สามารถเปลี่ยนชื่อเธรดได้","sidebarElectron.renameWorkspaceRootOptionLabel":"ชื่อที่แสดง","sidebarElectron.showLess":"แสดงน้อยลง","sidebarElectron.showMenu.all":"เธรดทั้งหมด","sidebarElectron.showMenu.relevant":"สอดคล้อง","sidebarElectron.showMenu.relevantHint":"แสดงเฉพาะเธรดเมื่อเร็วๆ นี้ในสาขาปัจจุบัน เวิร์กทรี หรือเธรดอื่นๆ ที่คุณต้องดำเนินการ","sidebarElectron.showMenu.title":"แสดง","sidebarElectron.showMenu.tooltip":"กรอง จัดเรียง และจัดระเบียบเธรด","sidebarElectron.showMenu.trigger":"กรองเธรดในไซด์บาร์","sidebarElectron.showMore":"แสดงเพิ่ม","sidebarElectron.skillsRouteNavLink":"ทักษะ","sidebarElectron.sortMenu.created":"สร้างเมื่อ","sidebarElectron.sortMenu.title":"จัดเรียงตาม","sidebarElectron.sortMenu.updated":"อัปเดตแล้ว","sidebarElectron.taskNavigation":"โฟลเดอร์ระบบอัตโนมัติ","sidebarElectron.tasksInFolder":"ระบบอัตโนมัติใน {folder}","sidebarElectron.workspaceOptions":"การดำเนินงานของโครงการสำหรับ {folder}","sidebarElectron.worktreeGroupTooltip":"นี่เป็นเวิร์กทรี git","skills.appsPage.createSkill":"ทักษะใหม่","skills.appsPage.empty.skills":"ไม่พบทักษะ","skills.appsPage.search.skills":"ค้นหาทักษะ","skills.appsPage.search.skills.label":"ค้นหาทักษะ","skills.appsPage.section.installedApps":"ติดตั้งแล้ว","skills.appsPage.section.skills":"ทักษะ","skills.appsPage.subheading":"เพิ่มศักยภาพให้ Codex<link>เรียนรู้เพิ่มเติม</link>","skills.appsPage.tab.recommended":"แนะนำ","skills.appsPage.tab.skills":"ทักษะ","skills.card.contentsError":"ไม่สามารถโหลดเนื้อหาทักษะ","skills.card.disable":"ปิดการใช้งาน","skills.card.disableSuccess":"ปิดใช้งานทักษะ {skillName} แล้ว","skills.card.disabledBadge":"ปิดการใช้งานอยู่","skills.card.enable":"เปิดการใช้งาน","skills.card.enableSuccess":"เปิดใช้งานทักษะ {skillName} แล้ว","skills.card.loadingContents":"กำลังโหลดเนื้อหาทักษะ...","skills.card.more":"การกระทำเพิ่มเติม","skills.card.open":"เปิด","skills.card.removeFailed":"ถอนการติดตั้งทักษะไม่สำเร็จ","skills.card.removeSuccess":"ถอนการติดตั้งทักษะ {skillName} แล้ว","skills.card.toggleEnabledError":"อัปเดตทักษะไม่สำเร็จ","skills.card.try":"ลองใช้","skills.card.trySkill":"ลองทักษะ","skills.card.uninstall":"ถอนการติดตั้ง","skills.hero.dotLabel":"ไปที่สไลด์ {index}","skills.hero.next":"ทักษะที่แนะนำถัดไป","skills.hero.trySkill":"ลองทักษะ","skills.page.createSkill":"ทักษะใหม่","skills.page.empty":"ไม่พบทักษะ","skills.page.filteredEmpty":"ไม่มีทักษะที่ตรงกับตัวกรองของคุณ","skills.page.filteredEmptyDescription":"ลองปรับการค้นหาหรือขอบเขตของตัวกรอง","skills.page.heading":"ทักษะ","skills.page.loading":"กำลังโหลดทักษะ...","skills.page.refreshSkills":"รีเฟรช","skills.page.refreshSkillsToUseNew":"รีเฟรชเพื่อใช้ทักษะใหม่","skills.page.search":"ค้นหาทักษะ","skills.page.search.label":"ค้นหาทักษะ","skills.page.subheading":"เพิ่มศักยภาพให้ Codex<link>เรียนรู้เพิ่มเติม</link>","skills.preview.copyPrompt":"คัดลอกคำสั่ง","skills.preview.examplePrompt":"คำสั่งตัวอย่าง","skills.recommended.error":"ไม่สามารถโหลดทักษะที่แนะนำได้","skills.recommended.install":"ติดตั้ง","skills.recommended.installSkill":"ติดตั้งทักษะ","skills.recommended.installSuccess":"ติดตั้งทักษะ {skillName} แล้ว","skills.recommended.installed":"ติดตั้งแล้ว","skills.scope.admin":"ผู้ดูแล","skills.scope.adminInstalled":"ติดตั้งโดยผู้ดูแล","skills.scope.builtIn":"ระบบ","skills.scope.personal":"ส่วนบุคคล","skills.scope.repo":"คลังโค้ด","skills.scope.system":"ระบบ","skills.scope.team":"ทีม","skills.scope.user":"ผู้ใช้","skills.section.installed":"ติดตั้งแล้ว","skills.section.recommended":"แนะนำ","story.slidingToggle.existing":"ที่มีอยู่","story.slidingToggle.fromLocal":"จากในเครื่อง","story.slidingToggle.new":"ใหม่","story.slidingToggle.toLocal":"ไปที่ในเครื่อง","terminal.close":"ปิดเทอร์มินัล","terminal.title":"เทอร์มินัล","thinkingShimmer.default":"กำลังคิด","threadEnvIcon.cloudTooltip":"การสนทนานี้กำลังรันใน Codex Cloud","threadEnvIcon.localTooltip":"บทสนทนานี้กำลังรันภายในเครื่อง","threadEnvIcon.worktreeTooltip":"การสนทนานี้กำลังทำงานในเวิร์กทรี Git ในเครื่อง","threadHeader.archiveConfirmCancel":"ยกเลิก","threadHeader.archiveConfirmConfirm":"เก็บถาวร","threadHeader.archiveConfirmSubtitle":"คุณสามารถกลับมาดูภายหลังได้ในเธรดที่เก็บถาวร","threadHeader.archiveConfirmTitle":"จะเก็บถาวรเธรดใช่หรือไม่","threadHeader.copyAppLink":"คัดลอก Deeplink","threadHeader.copySessionId":"คัดลอก ID เซสชัน","threadHeader.copyWorkingDirectory":"คัดลอกไดเรกทอรีที่ใช้งานอยู่","threadHeader.forkIntoLocal":"ฟอร์กเข้าไปในเครื่อง","threadHeader.forkIntoWorktree":"ฟอร์กเข้าไปในเวิร์กทรีใหม่","threadHeader.forkPendingWorktreePrompt":"ฟอร์กบทสนทนานี้เข้าไปในเวิร์กทรีใหม่","threadHeader.forkPendingWorktreeTitle":"ฟอร์กบทสนทนาแล้ว","threadHeader.forkThreadError":"ฟอร์กเธรดไม่สำเร็จ","threadHeader.forkThreadRequiresGitRepo":"การฟอร์กเข้าไปในเวิร์กทรีใหม่ต้องใช้ git Repository","threadHeader.moreActions":"การกระทำของเธรด","threadPage.newThread":"เธรดใหม่","threadPage.runAction.changeEnvironment":"เปลี่ยนสภาพแวดล้อม","threadPage.runAction.dropdown.titleWithEnvironment":"การดำเนินการสำหรับ {environmentName}","threadPage.runAction.environmentSelector.label":"เลือกสภาพแวดล้อม","threadPage.runAction.label":"รัน","threadPage.runAction.missing.label":"ตั้งค่าการรัน","threadPage.runAction.setup.commandLabel":"คำสั่งที่จะรัน","threadPage.runAction.setup.description":"บอกวิธีติดตั้งองค์ประกอบที่ขึ้นต่อกันกับ Codex แล้วเริ่มแอปของคุณ","threadPage.runAction.setup.editMore":"การตั้งค่าสภาพแวดล้อม","threadPage.runAction.setup.placeholder":"ตัวอย่าง: npm install npm run","threadPage.runAction.setup.submit":"บันทึกและรัน","threadPage.runAction.setup.title":"รัน","threadPage.runAction.tooltip.withEnvironment":"การดำเนินการสำหรับ {environmentName}","threadPage.toggleDiffPanel":"สลับหน้าต่างการเปรียบเทียบ","threadPage.toggleTerminal":"สลับเทอร์มินัล","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"เปิดโฟลเดอร์","toolSummaryForCmd.exploredFiles":"<verb>แสดงรายการ</verb>ไฟล์แล้ว","toolSummaryForCmd.exploredFilesInPath":"<verb>แสดงรายการ</verb>ไฟล์ใน {path} แล้ว","toolSummaryForCmd.exploringFiles":"<verb>กำลังแสดงรายการ</verb>ไฟล์","toolSummaryForCmd.exploringFilesInPath":"<verb>กำลังแสดงรายการ</verb>ไฟล์ใน {path}","toolSummaryForCmd.ranGenericCommand":"<status>รันคอมมานด์แล้ว</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>รันแล้ว</status> {command}{timer}","toolSummaryForCmd.read":"<verb>อ่าน</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>กำลังรันคอมมานด์</status>{timer}","toolSummaryForCmd.runningTimer":"สำหรับ {elapsed}","toolSummaryForCmd.searchedFor":"<verb>ค้นหา</verb> {query} แล้ว","toolSummaryForCmd.searchedForFiles":"<verb>ค้นหา</verb>ไฟล์แล้ว","toolSummaryForCmd.searchedForInPath":"<verb>ค้นหา</verb> {query} ใน {path} แล้ว","toolSummaryForCmd.searchingFor":"<verb>กำลังค้นหา</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>กำลังค้นหา</verb>ไฟล์","toolSummaryForCmd.searchingForInPath":"<verb>กำลังค้นหา</verb> {query} ใน {path}","traceRecording.details.noteLabel":"คุณกำลังทำอะไรอยู่ตอนที่เกิดเหตุการณ์นี้ (ไม่บังคับ)","traceRecording.details.notePlaceholder":"ไปที่เธรดขนาดใหญ่ จากนั้นก็เปลี่ยนแท็บซ้ำหลายครั้ง...","traceRecording.details.submit":"ส่งข้อมูลติดตามย้อนกลับ","traceRecording.details.subtitle":"เราสามารถส่งข้อมูลติดตามย้อนกลับของโปรไฟล์นี้เพื่อช่วยวินิจฉัยปัญหาการทำงาน","traceRecording.details.title":"ส่งข้อมูลติดตามย้อนกลับโปรไฟล์ไหม","traceRecording.progress.subtitle":"เปิด Codex ไว้ขณะดำเนินการนี้","traceRecording.saving.title":"กำลังบันทึกข้อมูลติดตามย้อนกลับ...","traceRecording.startDetails.cancel":"ยกเลิก","traceRecording.startDetails.submit":"ตกลง เริ่มบันทึก","traceRecording.startDetails.subtitle":"หลังจากคลิกตกลง ให้จำลองปัญหาการทำงานขึ้นมาใหม่ แล้วคลิกสัญลักษณ์สีแดงที่ลอยอยู่เพื่อหยุดและตรวจสอบข้อมูลติดตามย้อนกลับ","traceRecording.startDetails.title":"วิธีทำงานของการบันทึกข้อมูลติดตามย้อนกลับ","traceRecording.stopButton.ariaLabel":"หยุดการบันทึกข้อมูลติดตามย้อนกลับ","traceRecording.upload.successToast":"ส่งข้อมูลติดตามย้อนกลับของโปรไฟล์แล้ว","traceRecording.uploading.title":"กำลังอัปโหลดข้อมูลติดตามย้อนกลับ...","wham.diff.addComment":"เพิ่มความคิดเห็น","wham.diff.binaryFile":"ไฟล์ไบนารีไม่ปรากฏ","wham.diff.noContent":"ไม่มีเนื้อหา","wham.fileTag.deleted":"ลบแล้ว","wham.fileTag.new":"ใหม่","wham.formattedRelativeDateTime.compactDaysAgo":"{value} วัน","wham.formattedRelativeDateTime.compactHoursAgo":"{value} ชม.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} นาที","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} เดือน","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} สัปดาห์","wham.formattedRelativeDateTime.compactYearsAgo":"{value} ปี","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"กำลังเตรียมงานของคุณ","wham.whamProposedTask.title":"งานที่แนะนำ","wham.whamProposedTask.useSuggestion":"ใช้คำแนะนำ","workspaceRootDialog.addError":"เพิ่มโครงการไม่สำเร็จ","workspaceRootDialog.cancel":"ยกเลิก","workspaceRootDialog.confirmAdd":"เพิ่มโครงการ","workspaceRootDialog.confirmPick":"ใช้โครงการ","workspaceRootDialog.description":"ป้อนพาธใน {host} ที่จะใช้กับโครงการ","workspaceRootDialog.pathLabel":"พาธโครงการ","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"เพิ่มพาธโครงการ","workspaceRootDialog.title.pick":"เลือกพาธโครงการ","worktreeInitV2.cancel":"ยกเลิก","worktreeInitV2.notification.failedTitle":"ตั้งค่าเวิร์กทรีไม่สำเร็จ","worktreeInitV2.output.empty":"กำลังรอเอาต์พุต...","worktreeInitV2.status.error":"ตั้งค่าเวิร์กทรีไม่สำเร็จ","worktreeInitV2.status.running":"กำลังสร้างเวิร์กทรีและรันสคริปต์","worktreeInitV2.status.runningFork":"กำลังสร้างเวิร์กทรีเพื่อฟอร์กบทสนทนานี้","worktreeInitV2.status.success":"เวิร์กทรีพร้อมแล้ว","worktreeInitV2.title":"กำลังสร้างเวิร์กทรี","worktreeInitV2.workLocallyInstead":"ทำงานภายในเครื่องแทน","worktreeRestoreBanner.body":"เวิร์กทรีของเธรดนี้ถูกลบออกเพื่อประหยัดพื้นที่ในดิสก์","worktreeRestoreBanner.missing.body":"ไดเรกทอรีที่ใช้งานอยู่ของเธรดนี้ไม่มีอยู่แล้ว","worktreeRestoreBanner.missing.title":"ไดเรกทอรีที่ใช้งานอยู่ในปัจจุบันหายไป","worktreeRestoreBanner.restore.error":"กู้คืนเวิร์กทรีไม่สำเร็จ: {message}","worktreeRestoreBanner.restore.success":"กู้คืนเวิร์กทรีแล้ว","worktreeRestoreBanner.restoreCta":"กู้คืนเวิร์กทรี","worktreeRestoreBanner.title":"ล้างเวิร์กทรีแล้ว"};Object.assign(e,globalThis.codexI18nOverrides?.["th-TH"]);export{e as default};
 //# sourceMappingURL=th-TH-96mTTiLD.js.map
@@ -1,2 +1,2 @@
-const a={"CopyButton.copyTooltip":"Kopyahin","app.sidebar.hide":"Itago ang sidebar","app.sidebar.show":"Ipakita ang sidebar","app.sidebar.tooltip":"I-toggle ang sidebar","appHeader.installUpdate":"I-update","appSunset.body":"Ang bersyon ng app na ito ay hindi na suportado. Paki-download ang pinakabagong bersyon <here>dito</here>.","appSunset.title":"Kailangan ng update","automation.updateDirective.create":"Gumawa","automation.updateDirective.open":"Buksan","automation.updateDirective.untitled":"Walang pamagat na automation","automation.updateDirective.update":"I-update","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# pagtatangka} other {# (na) pagtatangka}}","cloudTaskRow.archiveError":"Nabigong i-archive ang gawain","code.diff.requestChange":"Humingi ng pagbabago","code.diffComment.cancel":"Kanselahin","code.diffComment.comment":"Komento","code.diffComment.delete":"Tanggalin","code.diffComment.save":"I-save","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Wala na-report na mga natuklasan.","codex.alert.closeAriaLabel":"Isara","codex.appUpsellBanner.cbpApi.message":"Gumawa nang mas mabilis gamit ang Codex app. I-download na ngayon o {learnMoreLink}.","codex.appUpsellBanner.download":"I-download","codex.appUpsellBanner.freeGo.message":"Kasama ang Codex sa iyong plan hanggang sa ika-2 ng Marso. Subukan ang Codex app para gumawa nang mas mabilis.","codex.appUpsellBanner.later":"Mamaya","codex.appUpsellBanner.learnMoreLowercase":"alamin ang higit pa","codex.appUpsellBanner.new":"Bago","codex.appUpsellBanner.proPlusBusiness.message":"Subukan ang Codex app na may 2x rate limit hanggang ika-2 ng Abril. I-download na ngayon o {learnMoreLink}.","codex.appUpsellBanner.title":"Codex app","codex.applyDropdown.header.changes":"Mga pagbabago","codex.applyDropdown.header.fileCount":"{count, plural, one {# file} other {# (na) file}}","codex.applyDropdown.header.rows":"(na) row","codex.applyDropdown.header.title":"Ilapat ang mga pagbabago","codex.applyDropdown.header.workspace":"Proyekto","codex.applyDropdown.results.conflicted":"{count, plural, one {1 file ang may salungatan:} other {{count} (na) file ang may salungatan:}}","codex.applyDropdown.results.empty":"Walang nakopyang mga file","codex.applyDropdown.results.skipped":"{count, plural, one {1 file ang nalaktawan:} other {{count} (na) file ang nalaktawan:}}","codex.applyOrRevertBanner.apply":"Ilapat","codex.applyOrRevertBanner.applyMessage":"Ilapat ang mga pagbabago at magpatuloy sa lokal?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ang gawaing ito ay ginawa sa {environment} kaya baka hindi mailapat nang malinis.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Ang mga pagbabago ay ginawa sa {environment} kaya baka hindi mailapat nang malinis.","codex.applyOrRevertBanner.reapply":"Muling ilapat","codex.applyOrRevertBanner.revert":"Bumalik","codex.applyOrRevertBanner.revertMessage":"I-revert ang mga inilapat na pagbabago?","codex.applyResultsDialog.applied":"Malinis na nailapat ({count})","codex.applyResultsDialog.close":"Isara","codex.applyResultsDialog.conflicted":"Conflicted ({count})","codex.applyResultsDialog.noDetails":"Walang available na mga detalye ng file.","codex.applyResultsDialog.skipped":"Nilaktawan ({count})","codex.applyResultsDialog.title":"Ilapat ang mga resulta","codex.archiveInfo":"Tingnan ang naka-archive na mga chat sa {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Mga Kontrol ng Data","codex.archiveInfo.electron":"Tingnan ang naka-archive na mga chat sa {settingsLink}","codex.archiveInfo.extension":"Tingnan ang naka-archive na mga chat sa iyong .codex folder.","codex.archiveInfo.settingsLink":"Mga setting","codex.banner.content.description":"Pagsabay-sabayin ang mga gawain, subaybayan ang pag-usad kahit saan, at suriin ang mga PR gamit ang AI.","codex.banner.content.headline":"Lahat ginagawa ng Codex.","codex.cloudTaskRow.archiveTask":"I-archive ang gawain","codex.cloudTaskRow.confirmArchiveTask":"Kumpirmahin","codex.command.feedback":"Feedback","codex.command.findInThread":"Maghanap","codex.command.forceReloadSkills":"I-force reload ang mga skill","codex.command.logOut":"Mag-log out","codex.command.manageTasks":"I-manage ang mga gawain","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Bumalik","codex.command.navigateForward":"Pasulong","codex.command.newThread":"Bagong thread","codex.command.nextThread":"Susunod na thread","codex.command.openFolder":"Open folder","codex.command.openSkills":"Walang mga skill","codex.command.openThreadOverlay":"Pop out thread","codex.command.personalitySettings":"Personality","codex.command.previousThread":"Nakaraang thread","codex.command.settings":"Mga setting","codex.command.toggleDiffPanel":"I-toggle ang diff panel","codex.command.toggleSidebar":"I-toggle ang sidebar","codex.command.toggleTerminal":"I-toggle ang terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"I-configure","codex.commandGroup.navigation":"Navigation","codex.commandGroup.panels":"Mga panel","codex.commandGroup.skills":"Skills","codex.commandGroup.thread":"Thread","codex.commandGroup.workspace":"Proyekto","codex.commandMenu.noResults":"Walang mga katugma","codex.commandMenu.searchPlaceholder":"Maghanap ng mga command","codex.commandMenu.suggestedGroup":"Iminumungkahi","codex.commandMenu.switchWorkspace":"Lumipat ng proyekto","codex.commandMenu.title":"Command menu","codex.common.retry":"Subukan ulit","codex.composer.searchBranches":"Maghanap sa mga branch","codex.dialog.basic.body":"Ito ay simpleng modal dialog gamit ang aming wrapper sa paligid ng Radix Dialog.","codex.dialog.basic.cancel":"Kanselahin","codex.dialog.basic.confirm":"Kumpirmahin","codex.dialog.basic.open":"Buksan ang Dialog","codex.dialog.basic.title":"Sample Dialog","codex.dialog.long.close":"Isara","codex.dialog.long.line":"Scrollable line {index} para ipakita ang mahabang content sa loob ng dialog.","codex.dialog.long.open":"Buksan ang Mahabang Dialog","codex.dialog.long.title":"Mahabang Content Dialog","codex.dialog.unstyled.body":"Ipinapakita ng kuwento na ito kung paano ganap na makokontrol ng mga user ang dialog content styling.","codex.dialog.unstyled.open":"Buksan ang Unstyled Dialog","codex.dialog.unstyled.title":"Unstyled Content","codex.diff.openInEditorPrompt.openButton":"Buksan sa editor","codex.diff.openInEditorPrompt.singleLine":"Masyadong malaki ang file na ito para ipakita dito.","codex.diffView.failedToDecodeBase64Diff":"Nabigong i-decode ang base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {# file ang nagbago} other {# (na) file ang nagbago}}","codex.diffView.imagePreviewAlt":"Preview ng larawan","codex.diffView.imagePreviewEmpty":"Walang larawan","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Walang diff data","codex.diffView.pdfPreview.nextPage":"Susunod na pahina","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Nakaraang pahina","codex.diffView.pdfPreviewEmpty":"Walang PDF preview","codex.diffView.pdfPreviewError":"Hindi mabuo ang PDF preview","codex.diffView.richPreviewDisable":"I-disable ang rich preview","codex.diffView.richPreviewEnable":"I-enable ang rich preview","codex.diffView.richPreviewLoading":"Nilo-load ang preview…","codex.diffView.richPreviewToggle":"I-toggle ang rich preview","codex.diffView.switchToUnified":"Lumipat sa unified diff","codex.environmentSelector.noEnvironment":"Walang environment","codex.environments.environmentSettings":"Mga setting ng environment","codex.environments.learnMore":"Matuto pa","codex.environments.listError":"Nabigong i-load ang mga environment.","codex.environments.noEnvironmentsFound":"Walang nahanap na mga environment","codex.environments.searchError":"Nabigong maghanap sa mga environment.","codex.errorBoundary.genericError":"Naku, nagkaroon ng error","codex.errorBoundary.goHome":"Subukan ulit","codex.file.patch.missing":"Hindi makagawa ng patch para sa file na ito.","codex.gallery.automations.cwdLabel":"Mga proyekto","codex.gallery.automations.nameLabel":"Pangalan","codex.gallery.automations.namePlaceholder":"Ibuod ang isang gawain","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Ilarawan kung ano ang dapat gawin ng Codex","codex.gallery.dialogs.automation.label":"Automation dialog","codex.gallery.dialogs.basic.body":"Gamitin ang layout na ito para sa madaling kumpirmasyon at maiikling form.","codex.gallery.dialogs.basic.cancel":"Kanselahin","codex.gallery.dialogs.basic.confirm":"Kumpirmahin","codex.gallery.dialogs.basic.label":"Basic dialog","codex.gallery.dialogs.basic.title":"Sample dialog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Ilarawan ang isyu","codex.gallery.dialogs.feedbackSubmission.bad":"Masamang resulta","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Magandang resulta","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Isama ang kasalukuyang mga Codex session log","codex.gallery.dialogs.feedbackSubmission.label":"Pagsusumite ng feedback","codex.gallery.dialogs.feedbackSubmission.other":"Iba pa","codex.gallery.dialogs.feedbackSubmission.placeholder":"Ilarawan ang isyu dito","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"Pagsusuri sa Kaligtasan","codex.gallery.dialogs.feedbackSubmission.submit":"Isumite","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Na-upload na ang feedback. Kung magpatuloy ang problema, magbukas ng GitHub issue o banggitin ang thread id sa isang bukas na issue:","codex.gallery.dialogs.feedbackSuccess.dismiss":"I-dismiss","codex.gallery.dialogs.feedbackSuccess.label":"Tagumpay ang feedback","codex.gallery.dialogs.feedbackSuccess.title":"Na-upload na ang feedback","codex.gallery.dialogs.gitApplyResults.applied":"Malinis na nailapat (2)","codex.gallery.dialogs.gitApplyResults.close":"Isara","codex.gallery.dialogs.gitApplyResults.conflicted":"May salungatan (1)","codex.gallery.dialogs.gitApplyResults.label":"Ilapat ang mga resulta","codex.gallery.dialogs.gitApplyResults.title":"Ilapat ang mga resulta","codex.gallery.dialogs.gitPushError.body":"Kunin ang mga pinakahuling pagbabago o i-force push kung alam mo na ang remote history ay ligtas na i-overwrite.","codex.gallery.dialogs.gitPushError.cancel":"Kanselahin","codex.gallery.dialogs.gitPushError.force":"Force push","codex.gallery.dialogs.gitPushError.label":"Push error","codex.gallery.dialogs.gitPushError.subtitle":"Ang iyong branch ay nasa likod ng origin/main.","codex.gallery.dialogs.gitPushError.title":"Hindi na-push ang mga pagbabago","codex.gallery.dialogs.gitRevert.cancel":"Kanselahin","codex.gallery.dialogs.gitRevert.confirm":"Bumalik","codex.gallery.dialogs.gitRevert.label":"Baliktarin ang mga pagbabago","codex.gallery.dialogs.gitRevert.skip":"Huwag muling itanong","codex.gallery.dialogs.gitRevert.subtitle":"Inaalis ng aksyong ito ang lahat ng pagbabagong ito.","codex.gallery.dialogs.gitRevert.title":"Baliktarin ang mga pagbabago?","codex.gallery.dialogs.longForm.label":"Long form dialog","codex.gallery.dialogs.proseModal.body":"Ginagamit ang modal style na ito para sa mas mahahabang instruksyon, onboarding, o rich content blocks.","codex.gallery.dialogs.proseModal.close":"Isara","codex.gallery.dialogs.proseModal.subtitle":"Magbahagi ng mas mahahabang anyo ng patnubay o dokumentasyon dito.","codex.gallery.dialogs.proseModal.title":"Prose modal","codex.gallery.dialogs.submitBlocked.label":"Hinarangan ang isumite","codex.gallery.dialogs.submitBlocked.message":"Hindi maipadala ang mensahe mo dahil hindi available ang proyekto.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Hindi maipadala ang mensahe","codex.gallery.dialogs.title":"Mga dialog","codex.gallery.dropdown.filterPlaceholder":"I-filter ang mga item","codex.gallery.dropdowns.actionRow":"Action rows","codex.gallery.dropdowns.actionRow.disabled":"Na-disable na aksyon","codex.gallery.dropdowns.actionRow.primary":"Pangunahing aksyon","codex.gallery.dropdowns.actionRow.secondary":"Sekundaryang aksyon","codex.gallery.dropdowns.actionRow.trigger":"Ipakita ang mga aksyon","codex.gallery.dropdowns.basic":"Basic dropdown","codex.gallery.dropdowns.basic.newFile":"Bagong file","codex.gallery.dropdowns.basic.newFolder":"Bagong folder","codex.gallery.dropdowns.basic.openSettings":"Buksan ang mga setting","codex.gallery.dropdowns.basic.title":"Mabibilis na aksyon","codex.gallery.dropdowns.basic.trigger":"Buksan ang menu","codex.gallery.dropdowns.basic.upload":"I-upload","codex.gallery.dropdowns.panel":"Panel surface","codex.gallery.dropdowns.panel.apply":"Ilapat","codex.gallery.dropdowns.panel.body":"Suriin ang diffs at ilapat sa iyong proyekto.","codex.gallery.dropdowns.panel.preview":"I-preview","codex.gallery.dropdowns.panel.title":"Ilapat ang mga pagbabago","codex.gallery.dropdowns.panel.trigger":"Buksan ang panel","codex.gallery.dropdowns.search":"Searchable dropdown","codex.gallery.dropdowns.search.first":"Alpha channel","codex.gallery.dropdowns.search.second":"Beta branch","codex.gallery.dropdowns.search.third":"Release candidate","codex.gallery.dropdowns.search.trigger":"I-filter ang mga item","codex.gallery.dropdowns.submenu":"Dropdown na may submenu","codex.gallery.dropdowns.submenu.optionA":"Project alpha","codex.gallery.dropdowns.submenu.optionB":"Project beta","codex.gallery.dropdowns.submenu.optionC":"Project gamma","codex.gallery.dropdowns.submenu.primary":"Mag-assign ng may-ari","codex.gallery.dropdowns.submenu.secondary":"Ilipat sa","codex.gallery.dropdowns.submenu.tertiary":"I-archive","codex.gallery.dropdowns.submenu.trigger":"Pumili ng aksyon","codex.gallery.dropdowns.title":"Mga dropdown","codex.gallery.inbox.automations.close":"Isara","codex.gallery.inbox.automations.popover.cardTitle":"I-manage ang mga automation","codex.gallery.inbox.automations.popover.dialogTitle":"I-manage ang mga automation","codex.header.settingsTooltip":"Mga setting","codex.hunk.patch.error":"Hindi na-stage","codex.hunk.patch.missing":"Hindi makagawa ng patch para sa hunk na ito.","codex.hunk.patch.partialSuccess":"Bahagyang tagumpay","codex.hunk.patch.revertError":"Hindi na-unstage","codex.hunk.patch.revertSuccess":"Tagumpay na na-unstage","codex.hunk.patch.success":"Tagumpay na na-stage","codex.legal.autonomy.details":"Para sa higit pang mga detalye, tingnan ang {link}","codex.legal.autonomy.details.link":"Codex docs","codex.legal.autonomy.title":"Ipasya kung gaano karaming autonomy ang gusto mong ibigay","codex.legal.backButton":"Bumalik","codex.legal.cloud.taskOne.meta":"openai/agi · Okt 12","codex.legal.cloud.taskOne.title":"Ipaliwanag ang repository sa isang bagong designer","codex.legal.cloud.taskThree.meta":"openai/codex · Okt 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Gumawa ng darkmode theme","codex.legal.cloud.taskTwo.meta":"openai/agi · Okt 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ayusin ang isang onboarding bug","codex.legal.continue.apikey":"Magpatuloy","codex.legal.continueButton":"Susunod","codex.legal.copilot.details":"Ginagamit ang iyong Copilot plan para sa lahat ng model call, billing, at mga rate limit. Ang Codex extension usage ay napapailalim sa parehong {oaiTos} at {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Mga Tuntunin ng Serbisyo ng GitHub","codex.legal.copilot.oaiTosLink":"Mga tuntunin ng serbisyo ng OpenAI Codex","codex.legal.copilot.title":"Pinagagana ng GitHub Copilot","codex.legal.mistakes.review":"Suriin ang code na sinusulat nito at mga command na pinagagana nito","codex.legal.mistakes.title":"Puwedeng magkamali ang Codex","codex.legal.powered.details":"Ginagamit ang mga rate limit ng plano mo at {link}","codex.legal.powered.details.link":"mga kagustuhan sa data ng pagsasanay","codex.legal.powered.title":"Pinagagana ng iyong ChatGPT account","codex.legal.step.cloud.subtitle":"Magpadala ng mga gawain sa Codex para paganahin sa background upang manatili kang nakatuon at kumilos nang mas mabilis.","codex.legal.step.cloud.title":"Ipadala sa Codex sa cloud","codex.legal.step.intro.subtitle":"Nagna-navigate, nage-edit, nagpapagana ng mga command, at nagpapatupad ng mga pagsubok ang Codex nang direkta sa iyong repo. Pinagagana ng iyong ChatGPT account.","codex.legal.step.intro.title":"Codex sa iyong IDE","codex.legal.step.todo.subtitle":"Sumulat ng TODO comment at gawin itong isang gawain sa Codex sa isang click lang.","codex.legal.step.todo.title":"Gawin ang mga TODO para maging mga gawain sa Codex","codex.legal.todo.heading":"// TODO: ipatupad ang schema","codex.localConversation.closeImagePreview":"Isara ang preview ng larawan","codex.localConversation.userImageAttachment":"Attachment ng user","codex.localTaskRow.archiveTask":"I-archive ang thread","codex.localTaskRow.awaitingApproval":"Naghihintay ng pag-apruba","codex.localTaskRow.awaitingResponse":"Naghihintay ng sagot","codex.localTaskRow.confirmArchiveTask":"Kumpirmahin","codex.loggedOut.apiKeyPrompt.cancel":"Kanselahin","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Kunin ang API Key","codex.loggedOut.apiKeyPrompt.inputLabel":"Ilagay ang iyong OpenAI API key","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Naka-disable ang mga gawain sa cloud kapag gumagamit ng API key","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Naka-disable ang mga gawain sa cloud kapag gumagamit ng Copilot at API key","codex.loggedOut.signIn":"Mag-sign in gamit ang ChatGPT","codex.loggedOut.signIn.cancel":"Kanselahin ang Pag-sign-in","codex.loggedOut.signInWithCopilot":"Mag-sign in gamit ang GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Gumamit ng API Key","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} tool","codex.mcpTool.collapsedLabel.verb.called":"Tinawagan","codex.mcpTool.collapsedLabel.verb.calling":"Tinatawagan","codex.mcpTool.embeddedResource.contentLabel":"Content","codex.mcpTool.embeddedResource.mimeTypeLabel":"Uri ng MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Walang ibinalik na content ang tool","codex.mcpTool.rawPayloadHeading":"Raw {server}.{tool} tool call payload","codex.menu.recent":"Kamakailan lang","codex.menu.seeAllHistory":"Tingnan ang lahat ng kasaysayan","codex.modelCapacityBanner.headline.noReset":"{modelName} ay nasa capacity ngayon. Subukan ulit sa ibang pagkakataon, o magsimula ng bagong pag-uusap gamit ang ibang modelo.","codex.modelCapacityBanner.headline.withReset":"{modelName} ay nasa capacity ngayon. Subukan ulit pagkalipas ng {resetDate}, o magsimula ng bagong pag-uusap gamit ang ibang modelo.","codex.modelCapacityBanner.title":"Nasa capacity na ang napiling modelo","codex.patch.change.contentsDeleted":"Na-delete ang mga content","codex.patch.change.created":"Ginawa","codex.patch.change.created-file":"Ginawa ang file","codex.patch.change.creating":"Ginagawa","codex.patch.change.deleted":"Na-delete","codex.patch.change.deleted-file":"Na-delete na file","codex.patch.change.deleting":"Dine-delete","codex.patch.change.edited":"Na-edit","codex.patch.change.edited-file":"Na-edit na file","codex.patch.change.editing":"Nag-e-edit","codex.patch.change.noChanges":"Walang mga pagbabago","codex.patch.change.rejected-add":"Tinanggihan","codex.patch.change.rejected-delete":"Tinanggihan","codex.patch.change.rejected-edit":"Tinanggihan","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} sa {total} (na) gawain ay nakumpleto na","codex.plan.todoListCreated":"Ginawa ang listahan ng gagawin na may {total} (na) gawain","codex.profileDropdown.apiKeyAuth":"Nag-log in gamit ang API key","codex.profileDropdown.codexSettings":"Mga Codex setting","codex.profileDropdown.copilotAuth":"Nag-log in gamit ang Copilot","codex.profileDropdown.defaultAccountTitle":"Default account","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter para magpadala ng mga mahabang prompt","codex.profileDropdown.enterBehaviorError":"Nabigong i-update ang setting","codex.profileDropdown.getPlus":"Mag-upgrade sa mas matataas na limit","codex.profileDropdown.keyboardShortcuts":"Mga keyboard shortcut","codex.profileDropdown.language":"Wika","codex.profileDropdown.languageDefault":"Awtomatikong I-detect","codex.profileDropdown.languageSearchPlaceholder":"Maghanap ng mga wika","codex.profileDropdown.languageUpdateError":"Hindi na-update ang wika","codex.profileDropdown.logOut":"Mag-log out","codex.profileDropdown.mcp":"Mga MCP setting","codex.profileDropdown.openConfigToml":"Buksan ang config.toml","codex.profileDropdown.openConfigToml.wsl":"Buksan ang config.toml sa WSL environment","codex.profileDropdown.openExtensionSettings":"Buksan ang mga setting","codex.profileDropdown.openMcpSettings":"Buksan ang mga MCP setting","codex.profileDropdown.openOnStartup":"Buksan sa startup","codex.profileDropdown.openOnStartupError":"Nabigo ang pag-update ng setting","codex.profileDropdown.openSkillsSettings":"Buksan ang mga setting ng Mga Skill","codex.profileDropdown.personalAccountTitle":"Personal na account","codex.profileDropdown.queueFollowUps":"Mga follow up sa queue","codex.profileDropdown.queueFollowUpsError":"Nabigong i-update ang setting","codex.profileDropdown.readDocs":"Basahin ang mga dokumento","codex.profileDropdown.readSkillsDocs":"Basahin ang mga dokumento","codex.profileDropdown.runInWsl":"Paganahin sa WSL","codex.profileDropdown.runInWslError":"Nabigo ang pag-update ng setting","codex.profileDropdown.runInWslTooltip":"Paganahin ang Codex sa loob ng WSL. Inirerekomenda para sa mas mahusay na seguridad ng sandbox at mas magandang performance.","codex.profileDropdown.settings":"Mga setting ng IDE","codex.profileDropdown.settingsPage":"Mga setting","codex.profileDropdown.signInWithOpenAI":"Mag-sign in gamit ang ChatGPT","codex.profileDropdown.skills":"Mga setting ng Mga Skill","codex.profileDropdown.switchToCopilotAccount":"Gamitin ang Copilot account","codex.profileDropdown.switchToOpenAIAccount":"Gamitin ang OpenAI account","codex.profileDropdown.todoCodelens":"Ayusin ang mga komento sa TODO","codex.profileDropdown.todoCodelensError":"Nabigong i-update ang setting","codex.profileDropdown.windowsDocumentation":"Dokumentasyon ng Windows","codex.profileFooter.signedInFallback":"Mga setting","codex.profileFooter.upgrade":"I-upgrade","codex.recentTasksMenu.clearSearch":"I-clear ang paghahanap","codex.recentTasksMenu.cloud":"Mga gawain sa cloud","codex.recentTasksMenu.count":"{count, plural, =0 {Walang gawaing kasalukuyang ginagawa} one {# gawain ang kasalukuyang ginagawa} other {# (na) gawain ang kasalukuyang ginagawa}}","codex.recentTasksMenu.empty":"Wala pang mga thread","codex.recentTasksMenu.errorCloud":"Nabigong i-load ang mga gawain.","codex.recentTasksMenu.errorCloud.inline":"Nabigong i-load ang mga gawain sa cloud.","codex.recentTasksMenu.filterAll":"Lahat","codex.recentTasksMenu.filterCloudTasks":"I-filter ang mga gawain sa cloud","codex.recentTasksMenu.filterTooltip":"I-filter ang mga gawain ayon sa environment","codex.recentTasksMenu.local":"Mga lokal na gawain","codex.recentTasksMenu.recent":"Lahat ng gawain","codex.recentTasksMenu.search":"Maghanap sa mga kamakailang gawain","codex.recentTasksMenu.searchEmpty":"Walang resulta","codex.recentTasksMenu.tooltip":"Kasaysayan ng gawain","codex.recentTasksMenu.trigger":"Mga kamakailang gawain. {count, plural, one {# ang kasalukuyang ginagawa} other {# ang kasalukuyang ginagawa}}","codex.remoteConversation.applyDiff.applyCta":"Ilapat ang mga pagbabago","codex.remoteConversation.applyDiff.dropdownTitle":"Ilapat ang mga pagbabago sa lokal na branch","codex.remoteConversation.applyDiff.revertCta":"Baliktarin ang mga pagbabago","codex.remoteConversation.closeImagePreview":"Isara ang preview ng larawan","codex.remoteConversation.codexCloudTask":"Tinitingnan mo ang isang gawain sa <u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Error: {message}","codex.remoteConversation.loadingImage":"Nilo-load ang larawan","codex.remoteConversation.openInWeb":"Buksan sa web","codex.remoteConversation.streaming":"Pagsisimula","codex.remoteConversation.turnFailed":"May nangyaring error habang ginagawa ang gawaing ito","codex.remoteConversation.turnTab.loading":"Pagtatangka {number}","codex.remoteConversation.turnTab.title":"Pagtatangka {number}","codex.remoteConversation.userImageAttachment":"Attachment ng user","codex.remoteConversation.viewPreviousTurns":"Buksan sa web","codex.remoteConversation.viewPreviousTurns.buttonText":"Buksan","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Buksan sa web","codex.review.copyGitApplyCommand":"Kopyahin ang git apply command","codex.review.copyGitApplyCommand.toast":"Nakopya ang git apply command sa clipboard","codex.review.diffTooLarge.description":"Masyadong malalaki ang diffs para ipakita sa Pagsusuri.","codex.review.diffTooLarge.title":"Masyadong malaki ang diff para ipakita","codex.review.expandOrCollapseDiffButton.collapse":"I-collapse ang lahat ng diff","codex.review.expandOrCollapseDiffButton.expand":"I-expand ang lahat ng diff","codex.review.expandOrCollapseDiffMenu.collapse":"I-collapse ang lahat ng diff","codex.review.expandOrCollapseDiffMenu.expand":"I-expand ang lahat ng diff","codex.review.fileSearch.clear":"I-clear ang file filter","codex.review.fileSearch.empty":"Walang mga file ang tugma sa kasalukuyang filter.","codex.review.fileSearch.label":"I-filter ang mga file","codex.review.fileSearch.placeholder":"I-filter ang mga file...","codex.review.filesChanged":"{num, plural, =0 {Walang file ang nagbago} one {# file ang nagbago} other {# (na) file ang nagbago}}","codex.review.find.loadMore":"Mag-load ng higit pang magkakatugma","codex.review.fullReview.hideFileTree":"Itago ang file tree","codex.review.fullReview.showFileTree":"Ipakita ang file tree","codex.review.header.moreOptions":"Mga opsyon sa pagsusuri","codex.review.largeDiff.banner":"May na-detect na malaking diff — ipinapakita ang isang file bawat pagkakataon.","codex.review.loadFullFiles.disable":"Huwag i-load ang mga buong file","codex.review.loadFullFiles.enable":"I-load ang mga buong file","codex.review.noDiff":"Lalabas dito ang mga pagbabago sa file","codex.review.noDiff.gitInit.createRepository":"Gumawa ng git repository","codex.review.noDiff.gitInit.creating":"Ginagawa…","codex.review.noDiff.gitInit.error":"Nabigo ang git init: {message}","codex.review.noDiff.gitInit.success":"Nagawa na ang git repository","codex.review.noDiff.gitRepoRequired.description":"Subaybayan at i-undo ang mga pagbabago sa proyekto na ito","codex.review.noDiff.gitRepoRequired.title":"Gumawa ng git repository","codex.review.noDiff.orNoLongerAvailable":"o ang pinakabagong diff ay hindi na available","codex.review.noDiff.reverted":"Binawi ang huling turn","codex.review.noDiff.revertedOrCommitted":"Binawi o tinanggap ang huling turn","codex.review.refreshGitQueries":"I-refresh","codex.review.revert.file.error":"Hindi na-revert sa {path}","codex.review.revert.file.partialSuccess":"Bahagyang na-revert {path}","codex.review.revert.file.success":"Na-revert {path}","codex.review.revert.hunk.error":"Hindi na-revert ang hunk {hunkNumber} sa {path}","codex.review.revert.hunk.partialSuccess":"Bahagyang na-revert ang hunk {hunkNumber} sa {path}","codex.review.revert.hunk.success":"Na-revert ang hunk {hunkNumber} sa {path}","codex.review.revert.section.error":"Hindi na-revert ang seksyon","codex.review.revert.section.partialSuccess":"Bahagyang na-revert ang seksyon","codex.review.revert.section.success":"Na-revert ang seksyon","codex.review.revertDialog.cancel":"Kanselahin","codex.review.revertDialog.confirm":"Kumpirmahin","codex.review.revertDialog.message":"Inaalis ng aksyong ito ang lahat ng pagbabagong ito.","codex.review.revertDialog.skip":"Huwag muling itanong","codex.review.revertDialog.title":"Baliktarin ang mga pagbabago?","codex.review.richPreview.disable":"I-disable ang rich preview","codex.review.richPreview.enable":"I-enable ang rich preview","codex.review.source.cloud":"Mga pagbabago sa cloud","codex.review.source.local.all":"Lahat ng pagbabago ng branch","codex.review.source.local.lastTurn":"Mga pinakahuling pagbabago sa turn","codex.review.source.local.uncommitted":"Mga hindi pa na-commit na pagbabago","codex.review.source.worktree":"Mga hindi naka-commit na pagbabago sa worktree","codex.review.stageFilter.empty.staged.description":"Tanggapin ang mga edit para ihanda ang mga ito","codex.review.stageFilter.empty.staged.title":"Walang nakahandang mga pagbabago","codex.review.stageFilter.empty.unstaged.description":"Lalabas dito ang mga pagbabago sa code","codex.review.stageFilter.empty.unstaged.title":"Walang hindi nakahandang mga pagbabago","codex.review.stageFilter.staged":"Staged","codex.review.stageFilter.staged.count":"Staged · {count}","codex.review.stageFilter.unstaged":"Unstaged","codex.review.stageFilter.unstaged.count":"Unstaged · {count}","codex.review.switchToSplit":"Lumipat sa split diff","codex.review.switchToUnified":"Lumipat sa unified diff","codex.review.toggleDiffView":"I-toggle ang diff view","codex.review.wordDiffs.disable":"I-disable ang word diffs","codex.review.wordDiffs.enable":"I-enable ang word diffs","codex.review.wrap.disable":"I-disable ang word wrap","codex.review.wrap.enable":"I-enable ang word wrap","codex.section.patch.missing":"Hindi makagawa ng patch para sa seksyong ito.","codex.shell.collapse":"I-collapse ang shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kinopya ang shell contents","codex.shell.copy.copyTooltip":"Kopyahin ang shell contents","codex.shell.copyCommand":"Kopyahin ang command","codex.shell.copyOutput":"Copy output","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"I-expand ang shell","codex.shell.name":"Shell","codex.shell.noOutput":"Walang output","codex.signInFailed.message":"Nabigo ang pag-sign in: {rawMessage}","codex.stories.toast.show":"Ipakita ang Toast","codex.stories.tooltip.basic":"Ito ay isang tooltip","codex.stories.tooltip.hoverMe":"I-hover ako","codex.stories.tooltip.largerOffset":"Mas malaki ang offset ng tooltip na ito","codex.stories.tooltip.offsetButton":"Mas malaking offset","codex.stories.tooltip.shortcutButton":"May shortcut","codex.stories.tooltip.withShortcut":"I-toggle ang terminal","codex.taskRow.title":"Bagong thread","codex.taskRowLayout.confirm":"Kumpirmahin","codex.threadFindBar.chatFilter":"Maghanap sa mga chat","codex.threadFindBar.close":"Isara ang maghanap","codex.threadFindBar.diffFilter":"Maghanap ng mga diff","codex.threadFindBar.label":"Hanapin sa thread","codex.threadFindBar.nextResult":"Susunod na resulta","codex.threadFindBar.noResults":"0 resulta","codex.threadFindBar.placeholder":"Maghanap sa thread...","codex.threadFindBar.placeholder.extension":"Maghanap sa thread...","codex.threadFindBar.placeholder.review":"Maghanap ng diff...","codex.threadFindBar.placeholder.review.extension":"Maghanap ng diff...","codex.threadFindBar.previousResult":"Nakaraang resulta","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# file ang nagbago} other {# (na) file ang nagbago}}","codex.unifiedDiff.inlineLargeFile":"Masyadong malaki para i-render inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"I-undo","codex.unifiedDiff.revertPatchError":"Nabigong i-revert ang mga pagbabago","codex.unifiedDiff.revertPatchSuccess":"Na-revert ang mga pagbabago","codex.unifiedDiff.reviewChangesSuffix":"mga pagbabago","codex.unifiedDiff.reviewShort":"Suriin","codex.unifiedDiff.viewDiffTooltip":"Suriin","codex.upsellBanner.business.headline":"Para makakuha ng higit pang access ngayon, magpadala ng kahilingan sa iyong admin, o maghintay hanggang {resetDate}.","codex.upsellBanner.cbp.headline":"Para makakuha ng higit pang access ngayon, magpadala ng kahilingan sa iyong admin.","codex.upsellBanner.cta.addCredits":"Magdagdag ng mga credit","codex.upsellBanner.cta.upgradeAccount":"I-upgrade","codex.upsellBanner.cta.viewUsage":"Tingnan ang paggamit","codex.upsellBanner.free.trialHeadline":"Mare-reset ang iyong limit sa {resetDate}. Upang patuloy na gamitin ang Codex at magkaroon ng access sa GPT-5.3-Codex, simulan ang iyong libreng trial ng Plus ngayon.","codex.upsellBanner.freeOrGo.headline":"Mare-reset ang iyong rate limit sa {resetDate}. Upang patuloy na gamitin ang Codex, mag-upgrade sa Plus ngayon.","codex.upsellBanner.general.headline":"Mare-reset ang iyong rate limit sa {resetDate}.","codex.upsellBanner.general.title":"Wala ka nang mga mensahe sa Codex","codex.upsellBanner.go.trialHeadline":"Mare-reset ang iyong limit sa {resetDate}. Upang patuloy na gamitin ang Codex, simulan ang iyong libreng trial ng Plus ngayon.","codex.upsellBanner.plus.headline":"Mare-rest ang iyong rate limit sa {resetDate}. Upang patuloy na gamitin ang Codex, magdagdag ng mga credit o mag-upgrade sa Pro ngayon.","codex.upsellBanner.pro.headline":"Mare-reset ang iyong rate limit sa {resetDate}. Magdagdag ng mga credit upang patuloy na gamitin ang Codex ngayon.","codex.userMessage.autoResolveSync":"Awtomatikong resolbahin ang mga salungatan","codex.userMessage.commentCount":"{count, plural, one {# komento} other {# (na) komento}}","codex.userMessage.copiedAriaLabel":"Nakopya","codex.userMessage.copiedTooltip":"Nakopya","codex.userMessage.copyAriaLabel":"Kopyahin ang mensahe","codex.userMessage.copyTooltip":"Kopyahin","codex.userMessage.implementPlan":"Ipatupad ang plan","codex.userMessage.noContent":"(Walang content)","codex.userMessage.priorConversation":"Mga pagsangguni sa naunang pag-uusap","codex.userMessage.reviewMode":"Mode ng pagsusuri","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"para sa {query}","codex.webSearch.summary.verb.completed":"Naghanap sa web","codex.webSearch.summary.verb.inProgress":"Naghahanap sa web","codex.windowsInstallWslBanner.dismiss":"I-dismiss","codex.windowsInstallWslBanner.installWslCta":"Enable sandbox","codex.windowsInstallWslBanner.learnMore":"Matuto pa","codex.windowsSandboxBanner.content":"Gumagamit ang agent mode ng experimental sandbox sa Windows para limitahan ang filesystem at network access. {sandboxLink}","codex.windowsSandboxBanner.title":"I-enable ang sandbox para sa Agent mode","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows Settings","codexUpgradeModal.body":"Ang aming pinakabagong frontier agentic coding model — mas matalino, mas mabilis, at mas may kakayahan sa karaniwang teknikal na gawain. {link}","codexUpgradeModal.close":"Isara","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Alamin ang higit pa","codexUpgradeModal.title":"Ipinakikilala ang GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Subukan ang GPT-5.3-Codex ngayon","codexUpgradeModal.useExistingModel":"Magpatuloy sa kasalukuyang modelo","commentAttachments.numComments":"{count, plural, one {# komento} other {# (na) komento}}","commentAttachments.removeAriaLabel":"Alisin ang mga kalakip sa komento","common.close":"Isara","composer.addContext.openFilePickerError":"Hindi mabuksan ang file picker","composer.addContextDropdown.ariaLabel":"Magdagdag ng mga file at higit pa","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Magdagdag ng mga file at higit pa","composer.addPhotosAndFiles":"Magdagdag ng mga larawan at file","composer.atMentionList.emptyQuery":"I-type para maghanap ng mga file","composer.atMentionList.loading":"Naghahanap ng mga file...","composer.atMentionList.noResults":"Walang mga resulta","composer.attemptsSelector.option":"{count, plural, one {# bersyon} other {# (na) bersyon}}","composer.attemptsSelector.tooltip":"Bilang ng mga magkakasabay na pagtatangka para gawin ng Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"Pinapatakbo ang {count, plural, one {# terminal} other {# na terminal}}","composer.backgroundTerminals.stop":"Ihinto","composer.cleanBackgroundTerminals.error":"Hindi mahinto ang mga background terminal.","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokal","composer.cloudFollowUp.whereRun":"Saan dapat gumana ang follow-up na ito?","composer.cloudTaskCreationError":"Error sa paglikha ng gawain sa cloud","composer.cloudTaskError":"Error sa paglikha ng gawain","composer.contextWindow.autoCompactionTooltipLine1":"Awtomatikong kino-compact ng Codex ang konteksto nito","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Context window:","composer.contextWindowUsageStatusFull":"{usage}% puno","composer.contextWindowUsageStatusLeft":"{usage}% ginagamit ({remaining}% natitira)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k (na) token ang ginamit","composer.customCliTooltip":"Gumagamit ng custom CLI executable","composer.dictation.aria":"Mag-dictate","composer.dictation.cancel.aria":"Ihinto ang dictation","composer.dictation.cancel.tooltip":"Ihinto ang dictation","composer.dictation.startError":"Hindi masimulan ang dictation","composer.dictation.submit.aria":"I-transcribe at ipadala","composer.dictation.submit.tooltip":"I-transcribe at ipadala","composer.dictation.tooltip":"I-hold para mag-dictate","composer.dictation.transcribeError":"Hindi ma-transcribe ang audio","composer.dictation.unsupported":"Hindi available ang dictation sa device na ito","composer.dropOverlay.holdShift":"I-hold ang {key} para i-drop","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Gumawa ng bago","composer.environmentSelector.error":"Error sa pag-load ng mga environment","composer.environmentSelector.goBack":"Bumalik sa composer","composer.environmentSelector.title":"Pumili ng environment","composer.environmentSelector.tooltip":"Pumili ng cloud environment","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Pumili ng file","composer.filePicker.selectFiles":"Pumili ng mga file","composer.followerTooltip":"Upang magpatuloy, bumalik sa window kung saan nagsimula ang pag-uusap na ito.","composer.footer.branchSwitch.checkoutError":"Nabigong lumipat sa branch: {message}","composer.footer.branchSwitch.createAndCheckout":"Gumawa at mag-checkout ng bagong branch...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"I-commit ang mga pagbabago upang gumawa at mag-checkout ng bagong branch","composer.footer.branchSwitch.createBranchError":"Hindi nakagawa ng branch: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Pangalan ng branch","composer.footer.branchSwitch.createDialog.branchExistsError":"Mayroon nang ganyang branch.","composer.footer.branchSwitch.createDialog.close":"Isara","composer.footer.branchSwitch.createDialog.createAndCheckout":"Gumawa at mag-checkout","composer.footer.branchSwitch.createDialog.placeholder":"bagong branch","composer.footer.branchSwitch.createDialog.title":"Gumawa at mag-checkout ng branch","composer.footer.branchSwitch.createDialog.trailingSlashError":"Hindi puwedeng magtapos ang pangalan ng branch sa “/”.","composer.footer.branchSwitch.tooltip":"Switch branch","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"I-commit ang mga pagbabago sa {fileCount, plural, one {# file} other {# (na) file}} para i-check out {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"mga pagbabago sa {fileCount, plural, one {# file} other {# (na) file}} na i-check out {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Kanselahin","composer.footer.branchSwitch.uncommittedDialog.commit":"I-commit at lumipat ng branch...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Mao-overwrite ang mga pagbabagong ginawa mo sa mga sumusunod na file sa pag-checkout:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Paki-commit ang mga pagbabago bago magpatuloy","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ang napiling branch","composer.footer.branchSwitch.uncommittedDialog.title":"I-commit ang mga pagbabago para lumipat ng branch","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Uncommited: {fileCount, plural, one {# file} other {# na file}}","composer.forkSlashCommand.description":"Gumawa ng hiwalay na kopya ng thread na ito sa local o bagong worktree","composer.forkSlashCommand.option.local.description":"Magpatuloy sa bagong local thread","composer.forkSlashCommand.option.local.title":"Gumawa ng hiwalay na kopya sa local","composer.forkSlashCommand.option.worktree.description":"Magpatuloy sa bagong worktree","composer.forkSlashCommand.option.worktree.title":"Gumawa ng hiwalay na kopya sa bagong worktree","composer.forkSlashCommand.title":"Gumawa ng hiwalay na kopya","composer.ideContextIndicator":"IDE context","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Isama ang context mula sa IDE tulad ng{br}katayuan ng seleksyon at mga bukas na file.","composer.ideContextIndicator.tooltipToggle":"para i-toggle","composer.ideContextSlashCommand.disableDescription":"I-off ang IDE context","composer.ideContextSlashCommand.enableDescription":"Isama ang kasalukuyang seleksyon, buksan ang mga file, at iba pang context mula sa iyong IDE","composer.ideContextSlashCommand.title":"IDE context","composer.imageInputsUnsupported":"Hindi sinusuportahan ng modelo na ito ang mga input ng larawan. Subukan ang ibang modelo.","composer.imageUploadFailed":"Nabigong i-upload ang larawan","composer.includeIdeContextDropdown":"Isama ang IDE context","composer.includeIdeContextDropdown.ariaLabel":"Isama ang IDE context","composer.localCwdDropdown.addWorkspaceRoot":"Magdagdag ng bagong proyekto","composer.localCwdDropdown.noActiveRoot":"Piliin ang proyekto mo","composer.localCwdDropdown.noResults":"Walang nahanap na mga folder","composer.localCwdDropdown.title":"Piliin ang proyekto mo","composer.localTaskError":"Error sa pagsimula ng pag-uusap","composer.mcpSlashCommand.description":"Ipakita ang MCP server status","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Hindi na-authenticate","composer.mcpStatus.authOauth":"Authenticated (OAuth)","composer.mcpStatus.authToken":"Authenticated (API key)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Isara","composer.mcpStatus.disabled":"Naka-disable","composer.mcpStatus.emptyLabel":"Mga server:","composer.mcpStatus.emptyValue":"Walang naka-configure na mga MCP server","composer.mcpStatus.enabled":"Naka-enable","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Hindi ma-load ang MCP status","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Lumipat ng mode","composer.mode.agentMode.custom":"Custom","composer.mode.agentMode.custom.dropdownLabel":"Custom","composer.mode.agentMode.custom.option":"Custom (config.toml)","composer.mode.agentMode.custom.optionLabel":"Custom (config.toml)","composer.mode.agentMode.customInfo.cancel":"Kanselahin","composer.mode.agentMode.customInfo.cli":"Puwede mong i-adjust ang mga setting na iyon mula sa CLI o sa pamamagitan ng direktang pag-edit sa file.","composer.mode.agentMode.customInfo.confirm":"Gamitin ang custom mode","composer.mode.agentMode.customInfo.description":"Inilalapat ng custom mode ang mga patakaran ng pag-apruba at sandbox na tinukoy sa iyong <link>config.toml</link> file.","composer.mode.agentMode.customInfo.docs":"Alamin ang higit pa tungkol sa pag-configure sa mga patakaran sa  pag-apruba at sandbox sa<link>execution environment docs</link>.","composer.mode.agentMode.customInfo.refresh":"Anumang mga pagbabago ay nagkakaroon ng bisa sa susunod na gumana ang agent.","composer.mode.agentMode.customInfo.title":"Paano gumagana ang custom mode","composer.mode.agentMode.fullAccess":"Agent (full access)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (full access)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (full access)","composer.mode.agentMode.fullAccessConfirm.caution":"Mag-ingat kapag ine-enable ang full access. Lubha nitong pinatataas ang panganib ng pagkawala ng data, mga leak, o hindi inaasahang kilos.","composer.mode.agentMode.fullAccessConfirm.confirm":"Oo, magpatuloy pa rin","composer.mode.agentMode.fullAccessConfirm.description":"Kapag gumagana ang Codex na may full access, puwede nitong i-edit ang anumang file sa computer mo at mag-run ng mga command sa network, nang wala kang pag-apruba.","composer.mode.agentMode.fullAccessConfirm.goBack":"Kanselahin","composer.mode.agentMode.fullAccessConfirm.title":"Pahintulutan ang full access?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Lumipat ng mode","composer.mode.agentMode.tooltip.auto":"Magbasa at mag-edit ng mga file, at mag-run ng mga command.","composer.mode.agentMode.tooltip.custom":"Gamitin ang pinakabagong mga patakaran sa pag-apruba at sandbox na tinukoy sa config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Kayang mag-edit ng Codex ng mga file sa labas ng proyekto at mag-run ng mga command gamit ang network access. Mag-ingat kapag ginagamit.","composer.mode.agentMode.tooltip.readOnly":"Kinakailangan ang pag-apruba para mag-edit ng mga file at mag-run ng mga command.","composer.mode.cloud.tooltip":"Magtrabaho sa isang cloud environment","composer.mode.contactAdmin":"Para magkaroon ng higit pang access, kontakin ang iyong admin","composer.mode.local":"Lokal","composer.mode.local.learnMore":"Matuto pa","composer.mode.local.model.custom":"Custom","composer.mode.local.model.loadingModel":"Nilo-load ang modelo","composer.mode.local.model.selecrReasoningEffort":"Pumili ng pangangatwiran","composer.mode.local.model.selectModel":"Pumili ng modelo","composer.mode.local.model.tooltip":"Pumili ng model","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Mataas","composer.mode.local.reasoning.low.label":"Mababa","composer.mode.local.reasoning.medium.label":"Katamtaman","composer.mode.local.reasoning.minimal.label":"Maliit","composer.mode.local.reasoning.none.label":"Wala","composer.mode.local.reasoning.xhigh.label":"Sobrang Mataas","composer.mode.localRemoteWhereRun":"Piliin kung saan ira-run ang gawain","composer.mode.newTask.header":"Magpatuloy sa","composer.mode.rateLimit.day":"{days}a","composer.mode.rateLimit.heading":"Natitirang mga rate limit","composer.mode.rateLimit.hour":"{hours}o","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} limit:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {lingguhang limit} other {{weeks} linggong limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Linggu-linggo} other {{weeks} Linggo}}","composer.mode.remote.connectToCloud":"Ikonekta ang Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Mag-set up ng environment sa pamamagitan ng Codex web para i-enable ang pagpapadala ng mga gawain sa cloud","composer.mode.remote.selectEnvironment":"Pumili ng environment","composer.mode.remote.sendToCloud":"Ipadala sa cloud","composer.mode.remote.setupViaWeb":"Mag-setup ng environment sa pamamagitan ng Codex web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Magtrabaho sa cloud environment","composer.mode.segmentedToggle.local.tooltip":"Magtrabaho sa iyong lokal na proyekto","composer.mode.segmentedToggle.worktree.tooltip":"Magtrabaho sa parallel worktree","composer.mode.upgradeToPlus":"Mag-upgrade sa Plus","composer.mode.upgradeToPro":"Mag-upgrade sa Pro","composer.mode.workLocally":"Lokal na proyekto","composer.mode.workLocally.currentBranchFallback":"ang branch mo","composer.mode.workLocally.tooltip":"Magtrabaho sa {branchName}","composer.mode.worktree":"Bagong worktree","composer.mode.worktree.submoduleWarning":"Ang repo na ito ay may mga git submodule. Maaaring mabigo ang paggawa ng worktree","composer.mode.worktree.tooltip":"Gumawa ng kopya ng iyong lokal na proyekto para sabay na gawin","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Papangit ang performance kapag nagpalit ng mga modelo sa kalagitnaan ng pag-uusap.","composer.newChat.heading.browser":"Ano ang susunod nating iko-code?","composer.permissionsDropdown.agentMode.tooltip.custom":"Ginagamit ng Codex ang pahintulot na tinukoy sa config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"May full access ang Codex sa iyong computer (tumaas na panganib)","composer.permissionsDropdown.custom.label":"Custom (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Custom (config.toml)","composer.permissionsDropdown.default.label":"Mga default na pahintulot","composer.permissionsDropdown.default.optionLabel":"Mga default na pahintulot","composer.permissionsDropdown.default.tooltip":"Awtomatikong pinagagana ng Codex ang mga command sa isang sandbox","composer.permissionsDropdown.disabled.requirements":"Ang mga pahintulot ay ini-lock ng requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Na-disable ang full access ng requirements.toml","composer.permissionsDropdown.fullAccess.label":"Ganap na access","composer.permissionsDropdown.fullAccess.optionLabel":"Ganap na access","composer.permissionsDropdown.trigger.tooltip":"Palitan ang mga pahintulot","composer.personalitySlashCommand.description.friendly":"Mainit, nagtutulungan, at nakakatulong","composer.personalitySlashCommand.description.pragmatic":"Maikli, nakatuon sa gawain, at direkta","composer.personalitySlashCommand.label.friendly":"Friendly","composer.personalitySlashCommand.label.pragmatic":"Pragmatic","composer.personalitySlashCommand.notApplicableSuffix":"(Hindi nalalapat sa kasalukuyang modelo)","composer.personalitySlashCommand.title":"Personality","composer.placeholder.cloudFollowUp.directFollowUp":"Follow-up sa gawain sa cloud na ito","composer.placeholder.cloudFollowUp.local":"Lumikha ng bagong lokal na gawain na nauugnay sa gawain sa cloud na ito","composer.placeholder.cloudFollowUp.workingTree":"Gumawa ng bagong gawain sa cloud na isinasama ng iyong kasalukuyang code at sasangguni sa gawaing ito.","composer.placeholder.localFollowUp.cloud":"Mag-follow up sa isang bagong gawain sa cloud","composer.placeholder.localFollowUp.locally":"Humingi ng mga follow-up na pagbabago","composer.placeholder.newTask.cloud":"Hingin sa Codex na gumawa ng kahit ano sa cloud","composer.placeholder.newTask.doAnything":"Hingin sa Codex na gumawa ng kahit ano","composer.placeholder.newTask.locally":"Tanungin ang Codex ng kahit ano, @ para magdagdag ng mga file , / para sa mga command","composer.planModeDropdown":"Plan mode","composer.planModeDropdown.ariaLabel":"Plan mode","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Gumawa ng plan sa Codex","composer.planModeIndicator.tooltipToggle":"para i-toggle","composer.planSlashCommand.disableDescription":"I-off ang plan mode","composer.planSlashCommand.enableDescription":"I-on ang plan mode","composer.planSlashCommand.title":"Plan mode","composer.priorContext.label":"Nakaraang konteksto","composer.priorContext.removeAriaLabel":"Alisin ang nakaraang konteksto","composer.queuedMessage.delete":"I-delete ang naka-queue na mensahe","composer.queuedMessage.edit":"I-edit ang mensahe","composer.queuedMessage.more":"Mga aksyon sa naka-queue na mensahe","composer.queuedMessage.sendNow":"Steer","composer.queuedMessage.sendNowTooltip":"Ipadala ngayon nang hindi ginagambala ang trabaho","composer.queuedMessage.turnOff":"I-off ang pag-queue","composer.reasoningEffort.local.reasoning.tooltip":"Pumili ng pagsisikap sa pangangatwiran","composer.remote.branchStartingPoint":"Anong branch ang dapat pagsimulan ng gawain na ito?","composer.remote.branchesSectionHeading":"Mga branch","composer.remote.currentEditsSuffix.followUp":"Lumikha ng bagong gawain na sumasangguni sa gawain sa cloud na ito.","composer.remote.currentEditsSuffix.useLocal":"na may mga lokal na pagbabago sa code","composer.remote.directFollowUp":"Huwag gamitin ang mga lokal na pagbabago","composer.remote.errorLoadingBranches":"Nagka-error sa pag-load ng mga branch","composer.remote.fromBranch":"Mula {branch}","composer.remote.fromCurrentBranch":"Mula {branch} (kasalukuyan)","composer.remote.loadingMoreBranches":"Naglo-load...","composer.remote.localFileStateHeading":"Kalagayan ng lokal na file","composer.remote.localWorkingTree":"Gamitin ang mga lokal na pagbabago","composer.remote.startingPoint":"Anong code ang dapat pagsimulan ng gawain na ito?","composer.reviewMode.branches.error":"Hindi ma-load ang mga branch","composer.reviewMode.branches.retry":"Subukan ulit","composer.reviewMode.gitRoot.error":"Hindi nahanap ang git root","composer.reviewMode.option.baseBranch.simple":"Suriin kontra sa base branch","composer.reviewMode.option.unstaged.simple":"Suriin ang mga uncommitted na pagbabago","composer.reviewMode.quickReviewError":"Nabigong simulan ang pagsusuri ng code.","composer.reviewMode.title":"Pagsusuri sa code","composer.sandboxButton.unlock.disabled.tooltip":"Na-disable ang full access ng requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Maaaring gumamit ang Codex ng experimental sandbox sa Windows para limitahan ang filesystem at network access. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"I-enable ang Windows sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Gamitin ang read-only","composer.searchEnvironments":"Maghanap sa mga environment","composer.skillMentionList.app":"App","composer.skillMentionList.appLogoAlt":"{name} logo","composer.skillMentionList.loading":"Nilo-load ang mga skill...","composer.skillMentionList.noResults":"Walang nahanap na mga skill","composer.slashCommands.cloudEnvironment.title":"Cloud environment","composer.slashCommands.dialogLabel":"Slash command menu","composer.slashCommands.dialogTitle":"Slash commands","composer.slashCommands.disabledTooltip":"Magsimula ng bagong pag-uusap para gamitin ang mga slash command","composer.slashCommands.inputPlaceholder":"Maghanap","composer.slashCommands.noResults":"Walang mga command","composer.slashCommands.skillsGroup":"Skills","composer.slashCommands.tooltip":"Mag-browse ng mga slash command","composer.status.close":"Isara","composer.statusPlain.alertLabel":"Alerto:","composer.statusPlain.alertValue":"{remaining}% ang nalalabi sa {window}","composer.statusPlain.contextLabel":"Konteksto:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ang ginamit / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% ang nalalabi","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limit:","composer.statusPlain.rateLimitDays":"{count}d limit","composer.statusPlain.rateLimitFallbackLabel":"Rate limit:","composer.statusPlain.rateLimitHours":"{count}h limit","composer.statusPlain.rateLimitLabelBase":"Rate limit","composer.statusPlain.rateLimitMinutes":"{count}m limit","composer.statusPlain.rateLimitPercent":"{remaining}% ang nalalabi","composer.statusPlain.rateLimitReset":"magre-reset sa {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"hindi available ang oras ng reset","composer.statusPlain.rateLimitUnavailable":"Hindi available","composer.statusPlain.sessionCopiedAriaLabel":"Nakopya ang session id","composer.statusPlain.sessionCopiedTooltip":"Nakopya ang ID","composer.statusPlain.sessionCopyAriaLabel":"Kopyahin ang session id","composer.statusPlain.sessionCopyTooltip":"Kopyahin ang ID","composer.statusPlain.sessionLabel":"Session:","composer.statusSlashCommand.description":"Ipakita ang thread id, konteksto ng paggamit, at mga rate limit","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Hindi maipadala ang mensahe","composer.submit.emptyMessage":"Maglagay ng mensahe para magsimula","composer.submit.imageInputsUnsupported":"Alisin ang mga larawan o lumipat ng mga modelo para ipadala ang mensahe na ito.","composer.submit.loadingLocalConfig":"Naglo-load...","composer.submit.missingCloudConfig":"Dapat kang pumili ng cloud environment","composer.submit.missingCloudTurn":"Hindi ma-follow up ang gawaing ito","composer.submit.noWorkspace":"Magdagdag ng proyekto para gamitin ang Codex","composer.submit.waitForImageUploads":"Ina-upload ang mga larawan...","composer.submitButtonTooltip.send":"Ipadala","composer.submitButtonTooltip.stop":"Ihinto","composer.worktreeEnvironment.create":"Gumawa ng lokal na environment","composer.worktreeEnvironment.default":"Default na environment","composer.worktreeEnvironment.error":"Error sa pag-load ng mga environment","composer.worktreeEnvironment.loading":"Nilo-load ang mga environment...","composer.worktreeEnvironment.title":"Lokal na environment","composer.worktreeEnvironment.tooltip":"Pumili ng lokal na environment","composer.worktreeSetupFailed":"Hindi natapos ang pag-setup ng worktree. Tingnan ang .codex/environments para sa isang setup script.","compoundButton.secondaryAction":"Sekundaryang aksyon","copyButton.copied":"Nakopya","copyButton.copiedAriaLabel":"Nakopya","copyButton.copy":"Kopyahin","copyButton.copyAriaLabel":"Kopyahin","copyButton.copyCode":"Kopyahin ang code","diff.actionButton.revertFile":"I-revert ang file","diff.actionButton.revertHunk":"I-revert","diff.actionButton.revertSection":"I-revert lahat","diff.actionButton.revertSectionLabel":"I-revert lahat","diff.actionButton.stageFile":"I-stage ang file","diff.actionButton.stageHunk":"I-stage","diff.actionButton.stageSection":"I-stage lahat","diff.actionButton.stageSectionLabel":"I-stage lahat","diff.actionButton.unstageFile":"I-unstage ang file","diff.actionButton.unstageHunk":"I-unstage","diff.actionButton.unstageSection":"I-unstage lahat","diff.actionButton.unstageSectionLabel":"I-unstage lahat","diff.fileHeader.toggle":"Toggle file diff","electron.onboarding.login.apikey.cancel":"Kanselahin","electron.onboarding.login.apikey.continue":"Magpatuloy","electron.onboarding.login.apikey.label":"OpenAI API key","electron.onboarding.login.apikey.open":"Ilagay ang API key","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Kanselahin ang pag-sign-in","electron.onboarding.login.chatgpt.continue":"Magpatuloy sa ChatGPT","electron.onboarding.login.devbox":"Ikonekta sa isang remote SSH","electron.onboarding.login.error":"Nabigo ang pag-sign in: {rawMessage}","electron.onboarding.login.snake.start":"Play Snake","electron.onboarding.login.sshConfig.cancel":"Kanselahin","electron.onboarding.login.sshConfig.continue":"Magpatuloy","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Ang pinakamabuting paraan para gumawa gamit ang mga ahente","electron.onboarding.login.title":"Welcome sa Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Magpatuloy","electron.onboarding.welcome.doubleLimits.description":"Upang ipagdiwang ang Codex app launch, mayroon kang 2x rate limit hanggang Abril 2.","electron.onboarding.welcome.freego.description":"Kasama ang Codex sa iyong plan nang libre hanggang sa ika-2 ng Marso – magsimula tayong bumuo nang magkasama.","electron.onboarding.welcome.new.title.anon":"Welcome!","electron.onboarding.workspace.continue":"Magpatuloy","electron.onboarding.workspace.empty":"Magdagdag ng proyekto para magpatuloy.","electron.onboarding.workspace.listLabel":"Mga available na proyekto","electron.onboarding.workspace.loading":"Nilo-load ang mga proyekto...","electron.onboarding.workspace.openFolder":"Magdagdag ng proyekto","electron.onboarding.workspace.selectAll":"Piliin ang lahat","electron.onboarding.workspace.skip":"Laktawan","electron.onboarding.workspace.skip.error":"Hindi makagawa ng bagong proyekto: {message}","electron.onboarding.workspace.skip.error.unknown":"Hindi alam na error","electron.onboarding.workspace.skipping":"Gumagawa ng bagong proyekto...","electron.onboarding.workspace.subtitle":"Magagawa ng Codex na mag-edit ng mga file at magpagana ng mga command sa mga piling folder.","electron.onboarding.workspace.title":"Pumili ng proyekto","errorPage.list.checkSettings":"Subukang i-update ang iyong mga IDE setting","errorPage.list.configToml":"Tingnan ang iyong config.toml para sa mga invalid na setting","errorPage.list.downloadExtension":"Subukang mag-download ng ibang bersyon ng extension","errorPage.list.runInWsl":"Tingnan ang iyong mga setting para i-disable ang pag-run sa WSL kung may nakikita kang mga isyu ng compatibility","execApprovalRequest.menu.runAlways":"Oo, at huwag na muling tatanungin ang session na ito","execApprovalRequest.menu.runAlwaysWithAmendment":"Oo, at huwag nang muling humingi ng mga command na nagsisimula sa {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Oo, at huwag nang muling humingi ng mga command na nagsisimula sa","execApprovalRequest.menu.runOnce":"Oo","execApprovalRequest.prompt":"Gusto mo bang paganahin ang command na ito?","execApprovalRequest.reject":"Hindi","execFooter.exitCode":"Lumabas sa code {code}","execFooter.exitCode.unknown":"hindi alam","execFooter.success":"Tagumpay","feedback.dialog.category.badResult":"Masamang resulta","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Magandang resulta","feedback.dialog.category.other":"Iba pa","feedback.dialog.category.safetyCheck":"Pagsusuri sa kaligtasan","feedback.dialog.descriptionPlaceholder":"Ilarawan ang isyu dito","feedback.dialog.dismiss":"I-dismiss","feedback.dialog.includeLogsLabel":"Isama ang kasalukuyang mga Codex session log","feedback.dialog.submit":"Isumite","feedback.dialog.submitError":"Hindi namin maisumite ang iyong feedback. Pakisubukan ulit sa ilang sandali.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"kasalukuyang bukas na isyu","feedback.dialog.uploadedMessage.openIssue":"buksan ang isang isyu sa GitHub","feedback.dialog.uploadedMessage.withThread":"Na-upload na ang feedback. Kung magpatuloy ang problema, mangyaring {openIssueLink} o banggitin ang thread id sa isng {existingIssueLink}:","feedback.dialog.uploadedTitle":"Na-upload na ang feedback","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Tanggalin ang {filename}","header.back":"Bumalik","header.recentChats":"Mga gawain","header.recentTasks.seeAll":"Tingnan ang lahat ({total})","home.header.getPlus":"Kunin ang Plus","home.hero.letsBuild":"Gumawa tayo","homePage.mainContent":"Pangunahing content","imageAttachment.defaultName":"larawan","imageAttachment.preview.close":"Isara ang preview ng larawan","imageAttachment.removeAriaLabel":"Tanggalin ang {filename}","implementPlanRequest.option.implement":"Oo, ipatupad ang plan na ito","implementPlanRequest.prompt":"Ipatupad ang plan na ito?","inbox.archived.deleteError":"Hindi ma-delete ang naka-archive na run","inbox.archived.deleteRun":"I-delete ang naka-archive na run","inbox.archived.deleteSuccess":"Na-delete ang naka-archive na thread. Tingnan sa <settingsLink>Mga maka-archive na thread</settingsLink>.","inbox.archived.inlineLabel.auto":"Awtomatikong na-archive ang thread na ito. <learnMoreLink>Alamin ang higit pa</learnMoreLink>","inbox.archived.inlineLabel.manual":"Na-archive ang thread na ito.","inbox.archived.noMessageFound":"Walang natagpuan na mensahe","inbox.automations.createError":"Hindi magawa ang automation","inbox.automations.deleteConfirm.cancel":"Kanselahin","inbox.automations.deleteConfirm.confirm":"I-delete ang automation","inbox.automations.deleteConfirm.description":"Permanente nitong ide-delete ang automation at ititigil ang anumang pagpapagana sa hinaharap.","inbox.automations.deleteConfirm.title":"I-delete ang {name}?","inbox.automations.deleteError":"Hindi ma-delete ang automation","inbox.automations.editTooltip":"I-edit ang automation","inbox.automations.inProgress":"Kasalukuyang ginagawa","inbox.automations.new":"Bago","inbox.automations.newToolbar":"Bagong automation","inbox.automations.pauseTooltip":"Pansamantalang ihinto ang automation","inbox.automations.resumeTooltip":"Ipagpatuloy ang automation","inbox.automations.startingNow":"Nagsisimula na ngayon","inbox.automations.startsIn":"Magsisimula sa {startTime}","inbox.automations.status.active":"Aktibo","inbox.automations.status.paused":"Pansamantalang nakahinto","inbox.automations.status.runs":"{count} (na) paggana","inbox.automations.status.started":"Nagsimula {date}","inbox.automations.updateError":"Hindi ma-update ang automation","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Lahat","inbox.filter.ariaLabel":"I-filter ang mga inbox item","inbox.filter.unread":"Hindi pa nababasa","inbox.list.archived":"Na-archive","inbox.list.inProgress":"Kasalukuyang ginagawa","inbox.list.recent":"Nakumpleto","inbox.list.upNext":"Naka-iskedyul","inbox.mode.automations":"Mga automation","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Walang ibinigay na paglalarawan","inbox.openThread":"Buksan ang thread","inbox.rightPanel.emptySubtitle":"I-automate ang trabaho sa pamamagitan ng pag-set up ng mga naka-iskedyul na gawain","inbox.rightPanel.emptySubtitle.learnMore":"I-automate ang trabaho sa pamamagitan ng pag-set up ng mga naka-iskedyul na thread. <link>Alamin ang higit pa</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktibong automation} other {# aktibong mga automation}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Walang hindi pa nababasang mga automation","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# hindi pa nababasang automation} other {# hindi pa nababasang mga automation}}","inbox.rightPanel.emptyTitle":"Walang piniling item","inbox.rightPanel.noThread":"Walang thread para sa item na ito","inbox.rightPanel.quickStart.header":"Magsimula gamit ang isang template","inbox.untitled":"Walang pamagat na inbox item","loadingPage.documentationLink":"dokumentasyon","loadingPage.errorDescription":"Nag-crash ang Codex na may sumusunod na error:","loadingPage.errorDescription.documentation":"I-click ang reload para i-restart ang Codex extension, o bisitahin ang aming {documentationLink} para sa karagdagang tulong.","loadingPage.errorSignal":"Mga bagay na susubukan:","loadingPage.errorTitle":"Nagkaroon ng error","loadingPage.openConfigToml":"Open Config.toml","loadingPage.reload":"I-reload","localConversation.contextCompacted":"Awtomatikong na-compact ang konteksto","localConversation.contextCompacting":"Awtomatikong kino-compact ang konteksto","localConversation.finalAssistantMessageDivider":"Panghuling mensahe","localConversation.forkedFromConversation":"Ginawan ng hiwalay na kopya mula sa {threadTitle}","localConversation.merge.autoResolve.failed":"Nabigong humiling ng auto resolve: {error}","localConversation.merge.autoResolve.sent":"Naipadala na ang kahilingan para sa auto resolve","localConversation.merge.autoResolveMerge.missingConversation":"Hindi makapag-auto resolve nang walang aktibong pag-uusap.","localConversation.merge.autoResolveMerge.request":"Pinagsama ng auto resolve ang mga salungatan","localConversation.modelChanged":"Nagbago ang modelo mula sa {fromModel} tungo sa {toModel}.","localConversation.modelChanged.warning.line1":"Papangit ang performance kapag nagpalit ng mga modelo sa kalagitnaan ng pag-uusap.","localConversation.modelChanged.warning.line2":"Maaaring awtomatikong ma-compact ang konteksto.","localConversation.modelRerouted":"Na-route ang iyong kahilingan sa {toModel}.","localConversation.modelRerouted.warning.line1":"Heads up, ang iyong kahilingan ay na-route para bawasan ang panganib ng cyber-abuse.","localConversation.modelRerouted.warning.line2":"Iniisip mong pagkakamali ito? Humiling ng pagsusuri sa <link>chatgpt.com/cyber</link> o i-report sa pamamagitan ng /feedback","localConversation.moveThread.createBranch.label":"Gumawa ng branch","localConversation.moveToLocal.disabled.branchCheckedOut":"Na-check out na ang branch na ito sa ibang worktree","localConversation.moveToLocal.disabled.loading":"Naglo-load...","localConversation.moveToLocal.disabled.missingSourceHead":"Hindi maresolba ang worktree HEAD commit","localConversation.moveToLocal.disabled.noWorkspace":"Walang nahanap na lokal na workspace para sa worktree na ito","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"Hindi mailipat sa ngayon. Tingnan ang katayuan ng lokal na workspace at subukan ulit.","localConversation.moveToLocal.error.rollbackIssues":"Mga rollback isyu: {issues}","localConversation.moveToLocal.label":"Ilipat sa lokal","localConversation.moveToLocal.loading.subtitle":"Inililipat ang iyong mga pagbabago sa worktree sa lokal...","localConversation.moveToLocal.loading.title":"Inililipat sa lokal","localConversation.moveToLocal.modal.continue":"Magpatuloy","localConversation.moveToLocal.modal.destinationLabel":"Ilipat sa","localConversation.moveToLocal.modal.retry":"Subukan ulit","localConversation.moveToLocal.modal.subtitle":"Malilipat ang worktree branch na ito ang mga uncommited na pagbabago pabalik sa iyong lokal na checkout.","localConversation.moveToLocal.modal.title":"Ilipat sa lokal","localConversation.moveToWorktree.error.branchRequired":"Kailangan ang pangalan ng worktree branch","localConversation.moveToWorktree.error.createWorktree":"Nabigong gumawa ng worktree: {message}","localConversation.moveToWorktree.error.move":"Nabigong lumipat sa worktree: {message}","localConversation.moveToWorktree.error.prepareBranch":"Nabigong maghanda ng worktree branch “{branch}”: {message}","localConversation.moveToWorktree.error.rollbackIssues":"Mga rollback isyu: {issues}","localConversation.moveToWorktree.error.unknown":"Nabigong lumipat sa worktree. Pakisubukan ulit.","localConversation.moveToWorktree.label":"Lumipat sa worktree","localConversation.moveToWorktree.loading.subtitle":"Sine-set up ang iyong worktree at inililipat ang mga lokal na pagbabago...","localConversation.moveToWorktree.loading.title":"Lumilipat sa worktree","localConversation.moveToWorktree.modal.back":"Bumalik","localConversation.moveToWorktree.modal.branchAlreadyExists":"Mayroon nang ganyang branch","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Mayroon nang ganyang branch.","localConversation.moveToWorktree.modal.branchesError":"Hindi ma-load ang mga branch","localConversation.moveToWorktree.modal.branchesLoading":"Nilo-load ang mga branch...","localConversation.moveToWorktree.modal.branchesRetry":"Subukan ulit","localConversation.moveToWorktree.modal.continue":"Magpatuloy","localConversation.moveToWorktree.modal.defaultBranchError":"Ang worktree branch ay dapat iba sa default branch.","localConversation.moveToWorktree.modal.localBranchLabel":"Local branch","localConversation.moveToWorktree.modal.localBranchPlaceholder":"Pumili ng local checkout branch","localConversation.moveToWorktree.modal.noTargetBranch":"Walang available na iba pang mga local branch","localConversation.moveToWorktree.modal.retry":"Subukan ulit","localConversation.moveToWorktree.modal.subtitle":"Malilipat ang branch na ito at lahat ng uncommitted na pagbabago sa isang worktree. Dapat mong i-check out ang ibang branch sa lokal sa lugar nito.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Gagawa ang Codex ng bagong worktree para sa thread na ito.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"Pumili ng pangalan ng worktree branch. Gagamitin ito ng Codex sa halip na ang default branch.","localConversation.moveToWorktree.modal.subtitle.loading":"Naghahanap ng kasalukuyang worktree…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"Ililipat ang branch na ito sa isang worktree. Mananatiling naka-check out ang iyong kasalukuyang local branch.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Muling gagamitin ng Codex ang kasalukuyang worktree para sa thread na ito.","localConversation.moveToWorktree.modal.title":"Lumipat sa worktree","localConversation.moveToWorktree.modal.trailingSlashError":"Hindi puwedeng magtapos ang pangalan ng branch sa “/”.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Pangalan ng worktree branch","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Worktree branch","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"bagong branch","localConversation.personalityChanged":"Lumipat sa {personality} na personalidad","localConversation.planSummary.collapse":"I-collapse ang buod ng plan","localConversation.planSummary.collapseTooltip":"I-collapse","localConversation.planSummary.download":"I-download ang plan","localConversation.planSummary.expand":"I-expand ang buod ng plan","localConversation.planSummary.expandTooltip":"I-expand","localConversation.planSummary.openInNewWindow":"Buksan","localConversation.planSummary.openInNewWindow.tooltip":"Buksan sa bagong window","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plano sa pagsusulat","localConversation.planSummary.viewPlan":"I-expand ang plan","localConversation.previousMessagesSummary":"{count, plural, one {# naunang mensahe} other {# naunang mga mensahe}}","localConversation.remoteTaskCreated":"Ginawa ang {taskLink} sa Codex Cloud","localConversation.remoteTaskCreated.task":"gawain","localConversation.scrollToBottomButton":"Mag-scroll sa baba","localConversation.sync.buttonLabel":"Hand off sa local","localConversation.sync.buttonLabel.tooltip":"Ipinapasa ang mga pagbabago sa pagitan ng worktree na ito at ng iyong lokal na checkout.","localConversation.sync.modal.loading.title":"Mga pagbabago sa handing off","localConversation.sync.modal.noChanges":"Walang mga pagbabago","localConversation.syncSetup.branchAriaLabel":"Pangalan ng branch","localConversation.syncSetup.branchName":"Pangalan ng branch","localConversation.syncSetup.branchPlaceholder.existing":"Pumili ng kasalukuyang branch","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Nilo-load ng mga branch...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Na-check out na","localConversation.syncSetup.checkoutClean":"Kasalukuyang nasa {branchName}","localConversation.syncSetup.checkoutDirty":"Kasalukuyang nasa {branchName} na may mga uncommitted na pagbabago","localConversation.syncSetup.checkoutError":"Nabigong i-check out ang branch: {message}","localConversation.syncSetup.checkoutLabel":"I-check out na sa local ngayon","localConversation.syncSetup.checkoutOnLocal":"Hand off sa local","localConversation.syncSetup.checkoutPending":"Chine-checkout ang local status...","localConversation.syncSetup.checkoutUnavailable":"Hindi available ang local workspace","localConversation.syncSetup.checkoutUnknown":"Hindi available ang local branch","localConversation.syncSetup.continue":"Magpatuloy","localConversation.syncSetup.createBranchError":"Nabigong itakda ang handoff branch: {message}","localConversation.syncSetup.error":"Nagkaroon ng problema: {message}","localConversation.syncSetup.error.workingTreeMissing":"Hindi makakuha ng snapshot ng worktree. Pakisubukan ulit ang pag-hand off.","localConversation.syncSetup.mode.ariaLabel":"Piliin ang branch mode","localConversation.syncSetup.mode.existing":"Kasalukuyang branch","localConversation.syncSetup.mode.new":"New branch","localConversation.syncSetup.noBranches":"Walang natagpuang mga branch","localConversation.syncSetup.overwriteError":"Nagawa na ang branch pero hindi ito ganap na na-hand off. I-hand off nang manu-mano bago i-check out sa local.","localConversation.syncSetup.setPrefix":"I-set ang prefix","localConversation.syncSetup.subtitle":"Subukan at i-edit ang mga pagbabago sa worktree sa local. <a>Alamin ang higit pa</a>","localConversation.syncSetup.success.checkedOut":"Ginawa ang na-check out ang branch sa local","localConversation.syncSetup.success.notCheckedOut":"Nagawa na ang branch","localConversation.syncSetup.title":"I-hand off sa isang local branch","localConversation.syncWorktreeError.branchAriaLabel":"Pangalan ng branch","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Pumili ng branch kung saan iha-hand off, at saka muling subukan ang pag-load ng mga pagbabago.","localConversation.syncWorktreeError.branchSetup.title":"I-update ang branch","localConversation.syncWorktreeError.branchUpdate.cta":"I-update at subukan ulit","localConversation.syncWorktreeError.branchUpdate.error":"Nabigong i-update ang branch: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Nagkaroon ng problema: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Hindi naka-check out ang branch sa anumang worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Ilapat","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Kailangan mong i-check out ang branch sa local para i-apply ang mga uncommitted na pagbabago","localConversation.syncWorktreeV2.branches.empty":"Walang natagpuang mga branch","localConversation.syncWorktreeV2.branches.loading":"Nilo-load ng mga branch...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Change handoff branch","localConversation.syncWorktreeV2.changeBranch.error":"Nabigong palitan ang handoff branch: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Nabigo ang pag-apply","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Nabigo ang i-overwrite ang worktree","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"nabigo ang i-overwrite ang local","localConversation.syncWorktreeV2.commandError.back":"Bumalik","localConversation.syncWorktreeV2.commandError.body":"Nabigo ang isang git command habang hina-hand off. Suriin ang output at subukan ulit.","localConversation.syncWorktreeV2.commandError.retry":"Subukan ulit","localConversation.syncWorktreeV2.description":"Nagbabago ang hand off sa pagitan ng local at ng worktree na ito <a>Alamin ang higit pa</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Pumili ng direksyon ng handoff","localConversation.syncWorktreeV2.error.generic":"Nagkaroon ng problema habang nagha-hand off. Subukan ulit.","localConversation.syncWorktreeV2.localBranchLabel":"Lokal","localConversation.syncWorktreeV2.noChanges":"Kinakalkula ang mga pagbabago","localConversation.syncWorktreeV2.noChanges.summary":"Walang mga pagbabago","localConversation.syncWorktreeV2.overwrite.local":"Overwrite local","localConversation.syncWorktreeV2.overwrite.worktree":"I-overwrite ang worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Hindi ma-apply ang mga pagbabago","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Hindi ma-overwrite ang mga pagbabago sa local","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Hindi ma-overwrite ang mga pagbabago sa worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Na-apply","localConversation.syncWorktreeV2.partial.back":"Bumalik","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resolbahin ang mga salungatan at subukan ulit.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Mga salungatan","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# file} other {# (na) file}}","localConversation.syncWorktreeV2.partial.retry":"Subukan ulit","localConversation.syncWorktreeV2.partial.skippedLabel":"Nilaktawan","localConversation.syncWorktreeV2.stateFailed.generic":"Nagkaroon ng problema habang kinukuha ang mga iha-hand off na pagbabago sa worktree. Pakisubukan ulit.","localConversation.syncWorktreeV2.stateFailed.title":"Nabigong i-load ang mga pagbabago sa worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nabigong i-load ang mga pagbabago sa worktree.","localConversation.syncWorktreeV2.statusError.retry":"Subukan ulit","localConversation.syncWorktreeV2.statusError.title":"Hindi ma-load ang mga pagbabago ng local branch","localConversation.syncWorktreeV2.statusError.unknown":"Hindi available sa ngayon ang branch status. Subukan ulit.","localConversation.syncWorktreeV2.success.apply":"Tagumpay na na-apply ang mga pagbabago","localConversation.syncWorktreeV2.success.overwrite":"Handoff successful","localConversation.syncWorktreeV2.title":"Mga pagbabago sa hand off","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Asking {count, plural, one {tanong} other {(na) tanong}}","localConversation.userInputRequest.noAnswer":"Walang ibinigay na sagot","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Tinanong","localConversation.userInputRequest.summary.count":"{count, plural, one {# tanong} other {# (na) tanong}}","localConversation.workedFor":"Nagtrabaho nang {time}","localConversation.worktreeBranchSetup.action.create":"Gumawa","localConversation.worktreeBranchSetup.branchAriaLabel":"Pangalan ng branch","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Gumawa ng bagong branch","localConversation.worktreeBranchSetup.checkoutDisabled":"Na-check out na ang branch na ito sa {location}","localConversation.worktreeBranchSetup.checkoutError":"Nabigong i-check out ang branch: {message}","localConversation.worktreeBranchSetup.createBranchError":"Nabigong itakda ang branch: {message}","localConversation.worktreeBranchSetup.error":"Nagkaroon ng problema: {message}","localConversation.worktreeBranchSetup.subtitle":"Gumawa ng branch para i-commit ang mga pagbabago, i-push, at gumawa ng PR mula sa worktree na ito. <a>Alamin ang higit pa</a>","localConversation.worktreeBranchSetup.title":"Magtrabaho dito","localConversationPage.addWorktreeToSidebar.tooltip":"I-save bilang proyekto para makapagsimula ka ng mga bagong thread mula sa worktree na ito","localConversationPage.addWorktreeToSidebarError":"Nabigong idagdag ang proyekto","localConversationPage.commitAndCreatePrModal.errorTitle":"Nabigo ang pag-commit at paggawa ng PR","localConversationPage.commitAndCreatePrModal.successTitle":"Na-commit at nagawa ang PR","localConversationPage.commitAndPushModal.errorTitle":"Nabigo ang pag-commit at pag-push","localConversationPage.commitAndPushModal.successTitle":"Mga na-commit at na-push na pagbabago","localConversationPage.commitCreatePr.open":"Buksan ang pull request","localConversationPage.commitCreatePr.successTitle":"Ginawa ang PR kasama ang iyong pinakahuling mga pagbabago","localConversationPage.createBranchButtonLabel":"Branch dito","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Gumawa ng PR","localConversationPage.createPrModal.createDescription":"Magbukas ng pull request para sa iyong pinakahuling mga pagbabago.","localConversationPage.createPrModal.errorTitle":"Nabigo ang pull request","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Buksan ang PR","localConversationPage.createPrModal.successTitle":"Nagawa na ang pull request","localConversationPage.createPrModal.title":"Gumawa ng pull request","localConversationPage.createPrModal.viewDescription":"Mayroon nang pull request para sa branch na ito.","localConversationPage.createPrModal.viewTitle":"Handa na ang pull request","localConversationPage.createPullRequestAuthGh":"I-authenticate ang GitHub CLI: run `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Hindi available ang impormasyon ng branch","localConversationPage.createPullRequestButtonLabel":"Gumawa ng PR","localConversationPage.createPullRequestButtonLabel.loading":"Gumagawa ng PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Hindi available ang impormasyon ng default na branch","localConversationPage.createPullRequestError":"Nabigong gawin ang pull request","localConversationPage.createPullRequestExistingPullRequest":"Mayroon nang pull request para sa branch na ito","localConversationPage.createPullRequestGhStatusMissing":"Nilo-load ang GitHub CLI status…","localConversationPage.createPullRequestInstallGh":"I-install ang GitHub CLI (gh) para gumawa ng mga PR","localConversationPage.createPullRequestNoRepo":"Walang nahanap na git repository","localConversationPage.createPullRequestPushStatusMissing":"Nilo-load ang push status...","localConversationPage.createPullRequestSetUpstream":"I-push ang branch na ito bago gumawa ng PR","localConversationPage.createPullRequestSuccessToast":"Nagawa na ang pull request","localConversationPage.createPullRequestSwitchBranch":"Suriin ang isang feature branch bago gumawa ng PR","localConversationPage.error.render":"Error sa pag-render ng lokal na pag-uusap","localConversationPage.error.toast":"Hindi nahanap ang pag-uusap","localConversationPage.forcePushError":"Nabigong i-force push","localConversationPage.generatePullRequestMessageError":"Nabigong buuin ang pamagat at katawan ng pull request","localConversationPage.generatePullRequestMessageFailed":"Nabigong buuin ang pamagat at katawan ng pull request.","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Kanselahin","localConversationPage.gitActionResult.close":"Isara","localConversationPage.gitActionResult.tryAgain":"Subukan ulit","localConversationPage.gitActions":"Mga aksyon ng Git","localConversationPage.newChat":"Bagong chat","localConversationPage.openInTarget":"Buksan sa","localConversationPage.openPrimaryTarget":"Buksan","localConversationPage.planItemsCompleted":"{completedItems} sa {totalItems, plural, one {# gawain ang nakumpleto} other {# (na) gawain ang nakumpleto}}","localConversationPage.pushAuthError":"Nabigo ang push: kailangan ang authentication","localConversationPage.pushBranchMissing":"Hindi available ang impormasyon ng branch","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Pinu-push...","localConversationPage.pushError":"Hindi na-push ang mga pagbabago","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Kanselahin","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"I-push ang iyong pinakahuling mga commit sa remote repository.","localConversationPage.pushModal.errorTitle":"Push failed","localConversationPage.pushModal.forcePush":"Force push","localConversationPage.pushModal.successTitle":"Kumpleto na ang push","localConversationPage.pushModal.title":"Mga pagbabago sa push","localConversationPage.pushModal.tryAgain":"Subukan ulit","localConversationPage.pushNoUpstream":"Mag-set up ng upstream bago i-push ang branch na ito","localConversationPage.pushNoUpstreamError":"Nabigo ang push: walang naka-configure na upstream","localConversationPage.pushNothingToPush":"Walang mga bagong commit na ipu-push","localConversationPage.pushRemoteChangedError":"Nabigo ang push: may mga bagong commit ang remote","localConversationPage.pushRemoteRejectedError":"Tinanggihan ng remote ang push","localConversationPage.pushStatusMissing":"Nilo-load ang push status...","localConversationPage.pushSuccessToast":"Mga na-push na pagbabago","localConversationPage.viewPullRequestButtonLabel":"Tingnan ang PR","localConversationPage.viewPullRequestButtonLabel.loading":"Nilo-load ang pull request…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# file} other {# (na) file}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# listahan} other {# na listahan}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# paghahanap} other {# (na) paghahanap}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Nage-explore","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Nag-explore","localConversationTurn.exploration.accordion.header.complete.withCounts":"Nag-explore {counts}","localConversationTurnStory.showContent":"Ipakita ang content","localConversationTurnStory.streamContent":"I-stream ang content","localConversationTurnStory.toggleReasoning":"Ipakita ang pangangatwiran","localTaskRow.archiveError":"Nabigong i-archive pag-uusap","localTaskRow.resumeError":"Nabigong ipagpatuloy ang gawain","mermaidDiagram.ariaLabel":"Mermaid diagram","mermaidDiagram.copySource":"Kopyahin ang mermaid","mermaidDiagram.originalCode":"Mermaid source code","notifications.permissions.description":"Ipinapakita ang mga alerto kapag kailangan ang mga pahintulot sa notification","notifications.permissions.label":"I-enable ang mga notification sa pahintulot","notifications.turnMode.always":"Palagi","notifications.turnMode.description":"Itakda kung kailan ka aalertuhin ng Codex na ito ay tapos na","notifications.turnMode.label":"I-on ang mga notification sa pagkumpleto","notifications.turnMode.off":"Hindi kailanman","notifications.turnMode.unfocused":"Kapag hindi naka-focus lamang","patchApprovalRequest.approve":"Aprubahan","patchApprovalRequest.menu.allowAlways":"Oo, at huwag na muling tatanungin ang session na ito","patchApprovalRequest.menu.allowForSession":"Oo, at huwag na muling tatanungin ang session na ito","patchApprovalRequest.menu.allowOnce":"Oo","patchApprovalRequest.prompt":"Gusto mo bang gawin ang mga pagbabago na ito?","patchApprovalRequest.reject":"Hindi","patchApprovalRequest.waitingForApproval":"Naghihintay ng pag-apruba para mag-edit ng mga file","pendingRequest.approvalExec.collapse":"I-collapse","pendingRequest.approvalExec.expand":"I-expand","pendingRequestStory.toastAnswer":"Sagot: {answer}","pendingRequestStory.toastApprovalTitle":"Sagot sa pag-apruba","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Naipadala na ang follow-up","pendingRequestStory.toastNoAnswers":"Walang ibinigay na mga sagot","pendingRequestStory.toastQuestion":"Tanong: {question}","pendingRequestStory.toastUnknownDecision":"Hindi alam","pendingRequestStory.toastUserInputTitle":"Naisumite na ang mga sagot","quickAction.request.codeReview.branches.new":"Suriin ang mga pagbabago sa {from} kumpara sa {to}","quickAction.request.codeReview.uncommitted.new":"Suriin ang aking mga uncommitted na pagbabago","reasoningItem.thinking":"Nag-iisip","reasoningItem.thought":"Inisip","reasoningItem.thoughtWithElapsed":"Inisip nang {elapsed}","recentConversations.title":"Mga Kamakailang Pag-uusap","recentTasks.worktreeInitFailedTitle":"Nabigo ang worktree init","recentTasks.worktreeSettingUpTitle":"Sine-set up ang worktree","requestInputPanel.continue":"Magpatuloy","requestInputPanel.dismiss":"I-dismiss","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Mag-type dito","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Hindi, at sabihin sa Codex kung ano ang gagawin na naiiba","requestInputPanel.selectedBadge":"Napili","requestInputPanel.skip":"Laktawan","requestInputPanel.submit":"Isumite","review.commit.ariaLabel.includeUnstaged":"Isama ang unstaged","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Kino-commit...","review.commit.disabled.loadingDiff":"Nilo-load ang diff…","review.commit.disabled.missingContext":"Magdagdag ng ilang context para makabuo ng commit message","review.commit.disabled.noChanges":"Walang mga pagbabago na iko-commit","review.commit.disabled.noSelection":"Piliin ang mga pagbabago na iko-commit","review.commit.disabled.unavailable":"Hindi available sa ngayon ang commit","review.commit.error":"Hindi na-commit ang mga pagbabago","review.commit.form.changesToBeCommitted":"Mga pagbabago","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Magpatuloy","review.commit.form.title":"I-commit ang mga pagbabagong ginawa mo","review.commit.generate.emptyResponse":"Hindi makabuo ng commit message.","review.commit.generate.failed":"Nabigong makabuo ng commit message: {error}","review.commit.generate.missingPrompt":"Magdagdag ng ilang context para makabuo ng commit message.","review.commit.includeUnstaged":"Isama ang unstaged","review.commit.loading.description":"Maghintay lang, maaaring tumagal ito nang ilang sandali...","review.commit.loading.step.commit.done":"Mga na-commit na pagbabago","review.commit.loading.step.commit.pending":"Ikino-commit ang mga pagbabago","review.commit.loading.step.createPr.done":"Gumawa ng pull request","review.commit.loading.step.createPr.pending":"Gumagawa ng pull request","review.commit.loading.step.push.done":"Na-push sa branch {branch}","review.commit.loading.step.push.pending":"Pinu-push sa branch {branch}","review.commit.loading.title.commit":"Ikino-commit ang mga pagbabago","review.commit.loading.title.createPr":"Gumagawa ng PR","review.commit.loading.title.push":"Pinu-push ang mga pagbabago","review.commit.messageLabel":"Mensahe ng commit","review.commit.messagePlaceholder":"Iwanang blangko para awtomatikong bumuo ng commit message","review.commit.nextSteps":"Susunod na mga hakbang","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"I-commit at gumawa ng PR","review.commit.nextSteps.commitAndPush":"I-commit at i-push","review.commit.nextSteps.prRequiresGh":"Kinakailangan ang GitHub CLI: {command}","review.commit.rows.changes":"Mga pagbabago","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# (na) commit}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# (na) commit}} at {stats}","review.commit.rows.fileCount":"{count, plural, one {# file} other {# (na) file}}","review.commit.state.error.body":"Nagkaroon ng problema habang kino-commit. Tingnan ang iyong git status at subukan ulit.","review.commit.state.error.title":"Nabigo ang pag-commit","review.commit.state.success.title":"Na-commit na ang mga pagbabago","review.commit.untracked.loadingStats":"Nilo-load ang untracked diff stats...","reviewFindingAttachments.count":"{count, plural, one {# finding} other {# (na) finding}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"I-edit ang iyong config para i-customize ang agent behavior","settings.agent.configuration.configToml.docs":"Mga dokumento","settings.agent.configuration.configToml.restartNote":"I-restart ang Codex matapos i-edit para i-apply ang mga pagbabago","settings.agent.configuration.subtitle":"Ina-apply ang mga setting na ito saan man ginagamit ang Codex","settings.automations.banner.danger":"Gumagana ang mga automation sa iyong mga default sandbox setting, na kasalukuyang naka-set sa Full Access. Ang pagpapagana ng mga background automation na may Full Access ay may dalang tumaas na panganib, dahil maaaring baguhin ng Codex ang mga file, magpagana ng mga command, at i-access ang network nang hindi nagpapaalam. Pag-isipang i-update ang mga sandbox setting sa workspace write, at gamitin ang <rulesDocsLink>mga panuntunan</rulesDocsLink> para piliing tukuyin kung aling mga command ang maaaring paganahin nang may full access.","settings.automations.banner.defaultHowTo.default":"Gumagana ang mga automation sa iyong mga default sandbox setting. Papalya ang mga tool call kung kailangan nilang baguhin ang mga file sa labas ng workspace, i-access ang network, o gamitin ang mga app sa iyong computer. Puwede mong piliing gumana ang mga allowlist command sa labas ng sandbox gamit ang <rulesDocsLink>mga panuntunan</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Gumagana ang mga automation sa iyong mga default sandbox setting, na naka-set sa read-only. Papalya ang mga tool call kung kailangan nilang baguhin ang mga file, i-access ang network, o gamitin ang mga app sa iyong computer. Pag-isipang i-udpate ang mga sandbox setting sa workspace write.","settings.automations.cancel":"Kanselahin","settings.automations.create":"Gumawa","settings.automations.cwdEmpty":"Walang available na mga folder ng proyekto","settings.automations.cwdLabel":"Mga proyekto","settings.automations.cwdPlaceholder":"Pumili ng folder","settings.automations.cwdSubtitle":"Kung gusto mong gumana ang isang automation sa isang partikular na branch, puwede mong tukuyin ito sa iyong prompt.","settings.automations.delete":"I-delete","settings.automations.dialog.editTitle":"I-edit ang automation","settings.automations.dialog.newTitle":"Bagong automation","settings.automations.dialog.subtitle":"I-automate ang mga nauulit na gawain sa background. Nagdaragdag ang Codex ng mga finding sa inbox, o awtomatikong ina-archive ang gawain kung walang iuulat. <learnMoreLink>Alamin ang higit pa</learnMoreLink>","settings.automations.dialog.title":"Gumawa ng automation","settings.automations.executionCopy.git":"Gumagana ang mga git project sa mga dedicated background worktree.","settings.automations.executionCopy.local":"Direktang gumagana ang mga automation sa mga napiling directory ng proyekto.","settings.automations.executionCopy.nonGit":"Gumagana sa lokal ang mga non-version-controlled project dahil kailangan ng mga worktree ng Git.","settings.automations.executionEnvironment.ariaLabel":"Execution environment","settings.automations.executionEnvironment.label":"Execution environment","settings.automations.executionEnvironment.local":"Lokal","settings.automations.executionEnvironment.local.help":"Direktang gumagana sa mga napiling directory ng proyekto nang hindi gumagawa ng worktree.","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.executionEnvironment.worktree.help":"Gumagana sa isang dedicated Git worktree na ginawa mula sa napiling proyekto, kaya hindi nagagalaw ang iyong kasalukuyang checkout.","settings.automations.loading":"Naglo-load...","settings.automations.nameLabel":"Pangalan","settings.automations.namePlaceholder":"Tingnan kung may mga sentry issue","settings.automations.pause":"Pansamantalang Ihinto","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"maghanap ng mga crash sa $Sentry","settings.automations.resume":"Ipagpatuloy","settings.automations.rruleSummaryFallback":"Custom na iskedyul","settings.automations.runNow":"Subukan","settings.automations.save":"I-save","settings.automations.scheduleBadge.dayCount":"{count}a","settings.automations.scheduleBadge.interval":"{count}o","settings.automations.scheduleBadge.weekdays":"Weekdays","settings.automations.scheduleBadge.weekends":"Weekends","settings.automations.scheduleHeader":"Iskedyul","settings.automations.scheduleHours":"(na) oras","settings.automations.scheduleLabel":"Paganahi kada","settings.automations.scheduleMode.daily":"Araw-araw","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Uri ng iskedyul","settings.automations.scheduleSummary.daily":"Araw-araw sa {time}","settings.automations.scheduleSummary.interval":"Kada {count}o","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# araw} other {# na mga araw}}","settings.automations.scheduleSummary.intervalDays":"{interval} sa {days}","settings.automations.scheduleSummary.intervalHourly":"Oras-oras","settings.automations.scheduleSummary.singleDay":"{day} sa {time}","settings.automations.scheduleSummary.weekdays":"Weekdays sa {time}","settings.automations.scheduleSummary.weekdaysLabel":"weekdays","settings.automations.scheduleSummary.weekends":"Weekends sa {time}","settings.automations.scheduleSummary.weekendsLabel":"weekends","settings.automations.scheduleSummary.weekly":"{days} sa {time}","settings.automations.scheduleWeekdays":"Naka-on","settings.automations.weekdayState.excluded":"Hindi isinama","settings.automations.weekdayState.included":"Isinama","settings.conversationDetail.steps":"Mga hakbang","settings.conversationDetail.steps.description":"Itago ang mga command at output","settings.conversationDetail.stepsWithCommands":"Mga hakbang na may mga code command","settings.conversationDetail.stepsWithCommands.description":"Ipakita ang mga command, i-collapse ang output","settings.conversationDetail.stepsWithOutput":"Mga hakbang na may code output","settings.conversationDetail.stepsWithOutput.description":"Ipakita ang mga command at i-expand ang output","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Walang naka-archive na mga chat.","settings.dataControls.archivedChats.error":"Hindi ma-load ang naka-archive na mga chat.","settings.dataControls.archivedChats.loading":"Nilo-load ang naka-archive na mga chat...","settings.dataControls.archivedChats.unarchive":"I-unarchive","settings.dataControls.archivedChats.unarchiveError":"Nabigong i-unarchive ang chat","settings.dataControls.archivedChats.unarchiveSuccess":"Na-unarchive na thread. <viewNowLink>Tingnan ngayon</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Na-unarchive ang thread.","settings.dataControls.archivedChats.untitled":"Walang pamagat na chat","settings.dataControls.archivedChats.viewNow":"Tingnan ngayon","settings.editRow.headerPlaceholder":"Key","settings.editRow.removeEntry":"Alisin ang entry","settings.editRow.valuePlaceholder":"Halaga","settings.general.appearance":"Anyo","settings.general.appearance.codeFont":"Code font","settings.general.appearance.codeFont.description":"I-adjust ang font at size na ginagamit para sa code sa mga chat at diff","settings.general.appearance.codeFontFamily":"Code font family","settings.general.appearance.codeFontSize":"Font size ng code","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Pagamitin ang windows ng solidong background imbes na system translucency","settings.general.appearance.opaqueWindows.label":"Gumamit ng opaque window background","settings.general.appearance.sansFontFamily":"Sans font family","settings.general.appearance.sansFontFamily.description":"I-adjust ang font na ginamit para sa Codex UI","settings.general.appearance.sansFontSize":"Sans font size","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Ipakita ang full-window celebration effects habang gumagana ang GPT-5.3-Codex-Spark sa first turn","settings.general.appearance.sparkCelebrationEffects.label":"Spark celebration effects","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Madilim","settings.general.appearance.theme.description":"Gamitin ang maliwanag, madilim, o itugma ang iyong system","settings.general.appearance.theme.light":"Magaan","settings.general.appearance.theme.system":"System","settings.general.appearance.usePointerCursors.description":"Gawin ang cursor na isang pointer kapag nagho-hover sa mga interactive element","settings.general.appearance.usePointerCursors.label":"Gamitin ang mga pointer cursor","settings.general.enterBehavior.description":"Kapag naka-enable, kailangan ng mga multiline prompt ang {modifierSymbol} + enter para ipadala.","settings.general.enterBehavior.label":"Kailangan ang {modifierSymbol} + enter para magpadala ng mga mahabang prompt","settings.general.experimentalFeatures":"Mga experimental feature (Beta)","settings.general.experimentalFeatures.empty":"Walang available na mga beta experimental feature.","settings.general.experimentalFeatures.loading":"Nilo-load experimental feature...","settings.general.experimentalFeatures.restartNote":"I-restart ang Codex para i-apply ang mga pagbabago sa experimental feature","settings.general.experimentalFeatures.toggle":"I-toggle ang {featureName}","settings.general.followUpQueueMode.description":"Mga queue follow-up habang pinagagana o ini-steer ng Codex ang kasalukuyang paggana. Pindutin ang {invertFollowUpShortcutLabel} para gawin ang kabaligtaran para sa isang mensahe.","settings.general.followUpQueueMode.interrupt":"Steer","settings.general.followUpQueueMode.label":"Follow-up behavior","settings.general.followUpQueueMode.queue":"Queue","settings.general.notifications":"Mga Notification","settings.general.power.preventSleepWhileRunning.description":"Panatilihing bukas ang computer mo habang may pinatatakbong thread ang Codex.","settings.general.power.preventSleepWhileRunning.label":"Pigilan ang pagtulog habang tumatakbo","settings.git.branchPrefix.ariaLabel":"Branch prefix","settings.git.branchPrefix.description":"Prefix na ginagamit kapag gumagawa ng mga bagong branch sa Codex","settings.git.branchPrefix.label":"Branch prefix","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Nabigong i-save ang branch prefix","settings.git.branchPrefix.save.success":"Na-save na ang branch prefix","settings.git.commitInstructions.ariaLabel":"Mga instruksyon para sa commit","settings.git.commitInstructions.description":"Naidagdag sa mga prompt na pag-generate ng commit message","settings.git.commitInstructions.label":"Mga instruksyon para sa commit","settings.git.commitInstructions.placeholder":"Magdagdag ng patnubay sa commit message...","settings.git.commitInstructions.save":"I-save","settings.git.commitInstructions.save.error":"Nabigong i-save ang mga instruksyon para sa commit","settings.git.commitInstructions.save.success":"Na-save na mga instruksyon para sa commit","settings.git.forcePush.ariaLabel":"Palaging i-force push","settings.git.forcePush.description":"Gamitin ang --force-with-lease kapag nagpu-push mula sa Codex","settings.git.forcePush.label":"Palaging i-force push","settings.git.forcePush.save.disabled":"Naka-disable ang palaging i-force push","settings.git.forcePush.save.enabled":"Naka-enable ang palaging i-force push","settings.git.forcePush.save.error":"Nabigong i-save ang setting ng force push","settings.git.prInstructions.ariaLabel":"Mga instruksyon para sa pull request","settings.git.prInstructions.description":"Nailakip sa mga katawan ng pull request na ginawa ng Codex","settings.git.prInstructions.label":"Mga instruksyon para sa pull request","settings.git.prInstructions.placeholder":"Magdagdag ng patnubay sa pull request...","settings.git.prInstructions.save":"I-save","settings.git.prInstructions.save.error":"Nabigong i-save ang mga instruksyon para sa pull request","settings.git.prInstructions.save.success":"Na-save ang mga instruksyon para sa pull request","settings.ide.defaultOpenTarget.description":"Kung saan ang mga file at folder ay nagbubukas nang default","settings.ide.defaultOpenTarget.label":"Default na destinasyon kapag magbubukas","settings.ide.defaultOpenTarget.placeholder":"Walang nahanap na mga target","settings.ide.language.auto":"Awtomatikong I-detect","settings.ide.language.autoOption":"Awtomatikong I-detect","settings.ide.language.description":"Wika para sa UI ng app","settings.ide.language.label":"Wika","settings.ide.language.search":"Maghanap ng mga wika","settings.layout.actionButton":"Simulan muli ang extension","settings.layout.actionTitle":"Mga setting na may aksyon","settings.layout.fullWidthTitle":"Mga Setting (Full width)","settings.layout.title":"Mga setting","settings.localEnvironments.actions.add":"Magdagdag ng aksyon","settings.localEnvironments.actions.add.description":"Gumawa ng bagong command para paganahin mula sa toolbar.","settings.localEnvironments.actions.add.save":"I-save","settings.localEnvironments.actions.empty":"Magdagdag ng aksyon para paganahin ang mga command mula sa lokal na toobar.","settings.localEnvironments.actions.icon.debug":"I-debug","settings.localEnvironments.actions.icon.run":"Paganahin","settings.localEnvironments.actions.icon.test":"Subukan","settings.localEnvironments.actions.icon.tool":"Tool","settings.localEnvironments.actions.item.button.delete":"I-delete","settings.localEnvironments.actions.item.command":"Script ng aksyon","settings.localEnvironments.actions.item.name":"Pangalan","settings.localEnvironments.actions.item.platforms":"Mga platform","settings.localEnvironments.actions.item.platforms.help":"Paganahin lang sa isang partikular na OS.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Pagpili ng platform","settings.localEnvironments.actions.item.platforms.specific":"Partikular sa platform","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"I-delete","settings.localEnvironments.actions.title":"Mga Aksyon","settings.localEnvironments.breadcrumb.back":"Bumalik","settings.localEnvironments.breadcrumb.edit":"i-edit","settings.localEnvironments.breadcrumb.root":"Mga environment","settings.localEnvironments.environment.actions.description":"Puwedeng gumana ang mga aksyon na ito sa anumang command at ipapakita sa header.","settings.localEnvironments.environment.actionsLabel":"Mga Aksyon","settings.localEnvironments.environment.create":"Gumawa ng lokal na environment","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"I-edit ang lokal na environment","settings.localEnvironments.environment.empty":"Wala pang local environment ang na-configure para sa workspace na ito.","settings.localEnvironments.environment.name":"Pangalan","settings.localEnvironments.environment.setup":"Setup script","settings.localEnvironments.environment.setup.description":"Gagana ang script na ito sa paggawa ng worktree.","settings.localEnvironments.environment.setup.hint":"Gumagana sa project root","settings.localEnvironments.environment.setup.platformOverrides":"Mga platform override","settings.localEnvironments.environment.setup.platformOverrides.add":"Magdagdag ng {platform} setup script","settings.localEnvironments.environment.setup.platformOverrides.description":"Ino-override ang default script para sa partikular na mga OS.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Alisin","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Mga detalye ng environment","settings.localEnvironments.file.missing":"I-save para gawin ang file na ito sa unang pagkakataon.","settings.localEnvironments.file.parseError":"Hindi ma-parse ang kasalukuyang file. Mao-overwrite ito kapag na-save. ({error})","settings.localEnvironments.file.path":"File: {path}","settings.localEnvironments.file.readError":"Nabigong i-load ang lokal na environment data. ({error})","settings.localEnvironments.file.title":"Lokal na environment file","settings.localEnvironments.loading.body":"Kinukuya ang configuration ng proyekto mo.","settings.localEnvironments.loading.title":"Nilo-load ang mga lokal na environment","settings.localEnvironments.preview.devOnly":"(DEV lamang)","settings.localEnvironments.preview.save":"I-save","settings.localEnvironments.preview.saveError":"Hindi ma-save ang file. ({error})","settings.localEnvironments.preview.title":"I-preview","settings.localEnvironments.save.disabled.name":"Magdagdag ng pangalan ng environment para i-save.","settings.localEnvironments.save.disabled.noChanges":"Walang mga pagbabago na ise-save.","settings.localEnvironments.save.disabled.saving":"Sine-save...","settings.localEnvironments.save.success":"Naka-save na ang lokal na environment","settings.localEnvironments.unavailable.body":"Hindi namin ma-load ang mga setting ng local environment para sa proyekto na ito.","settings.localEnvironments.unavailable.title":"Hindi available ang mga lokal na environment","settings.localEnvironments.workspace.add":"Magdagdag ng proyekto","settings.localEnvironments.workspace.title":"Proyekto","settings.localEnvironments.workspaceSelect.addLabel":"Magdagdag ng environment","settings.localEnvironments.workspaceSelect.description":"Sinasabi ng mga local environment sa Codex kung paano i-set up ang mga worktree para sa isang proyekto. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Wala pang mga proyekto. Magdagdag ng isa para i-configure ang mga local environment.","settings.localEnvironments.workspaceSelect.errorLabel":"Kailangan ng environment ng atensyon","settings.localEnvironments.workspaceSelect.learnMore":"Alamin ang higit pa","settings.localEnvironments.workspaceSelect.listLabel":"Mga available na proyekto","settings.localEnvironments.workspaceSelect.loading":"Nilo-load ang mga proyekto.","settings.localEnvironments.workspaceSelect.loadingLabel":"Nilo-load ang environment","settings.localEnvironments.workspaceSelect.title":"Pumili ng proyekto","settings.localEnvironments.workspaceSelect.viewAction":"Tingnan","settings.mcp.addServer":"Magdagdag ng server","settings.mcp.app.configure":"I-configure","settings.mcp.app.connect":"Ikonekta","settings.mcp.apps.refresh":"I-refresh","settings.mcp.detail.addArgument":"Magdagdag ng argumento","settings.mcp.detail.addEnvVar":"Magdagdag ng variable ng environment","settings.mcp.detail.addEnvVarPassthrough":"Magdagdag ng variable","settings.mcp.detail.args":"Mga argumento","settings.mcp.detail.back":"Bumalik","settings.mcp.detail.command":"Command na i-launch","settings.mcp.detail.cwd":"Working directory","settings.mcp.detail.docs":"Buksan ang dokumentasyon ng MCP","settings.mcp.detail.docs.link":"Mga dokumento","settings.mcp.detail.envVarPassthrough":"Passthrough ng variable ng environment","settings.mcp.detail.envVars":"Mga variable ng environment","settings.mcp.detail.http.addEnvHeader":"Magdagdag ng variable","settings.mcp.detail.http.addHeader":"Magdagdag ng header","settings.mcp.detail.http.bearerToken":"Bearer token env var","settings.mcp.detail.http.envHeaders":"Mga header mula sa mga variable ng environment","settings.mcp.detail.http.headers":"Mga header","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Pangalan","settings.mcp.detail.save":"I-save","settings.mcp.detail.switchTransportNotice":"Kung gusto mong lumipat ng MCP server type, i-uninstall muna.","settings.mcp.detail.titleExisting":"I-update ang {name} MCP","settings.mcp.detail.titleNew":"Kumonekta sa isang custom MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"I-uninstall","settings.mcp.empty":"Walang nakakonektang mga custom MCP server","settings.mcp.myServers":"Mga custom server","settings.mcp.partnerServer.description.figma":"Mag-generate ng mas mahusay na code sa pamamagitan ng pagdadala sa buong Figma context","settings.mcp.partnerServer.description.github":"Isama sa mga GitHub API para i-automate ang mga workflow at mag-extract ng data","settings.mcp.partnerServer.description.linear":"Isama sa pagsubaybay ng at pamamahala ng proyekto ng Linear","settings.mcp.partnerServer.description.notion":"Magbasa ng mga dokumento, mag-update ng mga page, i-manage ang mga gawain","settings.mcp.partnerServer.description.playwright":"Isama ang browser automation para ipatupad ang disenyo at subukan ang UI.","settings.mcp.partnerServer.install":"I-install","settings.mcp.partnerServer.installAndAuthenticate":"I-install at i-authenticate","settings.mcp.partnerServer.logoAlt":"{label} logo","settings.mcp.partnerServer.manage":"I-manage","settings.mcp.partnerServer.vendor":"ni {vendor}","settings.mcp.recommendedServers":"Mga inirerekomendang server","settings.mcp.restartApp":"I-restart","settings.mcp.restartExtension":"Simulan muli ang extension","settings.mcp.server.enable":"I-enable","settings.mcp.server.login":"Mag-authenticate","settings.mcp.server.settings":"Mga setting","settings.multiselect.createOption":'Gumawa ng "{value}"',"settings.multiselect.removeOption":"Alisin","settings.nav.account":"Account","settings.nav.agent":"Configuration","settings.nav.ariaLabel":"Mga setting","settings.nav.back":"Bumalik sa app","settings.nav.data-controls":"Na-archive na mga thread","settings.nav.environments":"Mga Cloud Environment","settings.nav.externalTooltip":"[alpha] Magbubukas sa browser","settings.nav.general-settings":"Pangkalahatan","settings.nav.git-settings":"Git","settings.nav.local-environments":"Mga environment","settings.nav.mcp-settings":"Mga MCP server","settings.nav.notImplemented":"[alpha] Hindi available sa Alpha","settings.nav.personalization":"Personalization","settings.nav.skills-settings":"Skills","settings.nav.usage-analytics":"Usage at Analytics","settings.nav.worktrees":"Mga worktree","settings.openSourceLicenses.back":"Bumalik","settings.openSourceLicenses.loading":"Naglo-load...","settings.openSourceLicenses.missing":"Walang nahanap na mga abiso ng third party.","settings.openSourceLicenses.notSupported":"Hindi available sa host na ito.","settings.openSourceLicenses.rowDescription":"Mga abiso ng third party para sa mga bundled dependency","settings.openSourceLicenses.rowLabel":"Mga open source license","settings.openSourceLicenses.subtitle":"Mga abiso ng third party para sa mga dependency kasama sa app na ito","settings.openSourceLicenses.title":"Mga open source license","settings.openSourceLicenses.view":"Tingnan","settings.personalization.agents.description":"I-edit ang mga instruksyon na nagbabagay ng Codex sa iyo. {learnMore}","settings.personalization.agents.learnMore":"Alamin ang higit pa","settings.personalization.agents.loadError":"Hindi ma-load ang agents.md.","settings.personalization.agents.loading":"Nilo-load ang agents.md...","settings.personalization.agents.placeholder":"Igdagdag ang iyong mga custom na instruksyon...","settings.personalization.agents.retry":"Subukan ulit","settings.personalization.agents.save":"I-save","settings.personalization.agents.save.error":"Hindi ma-save ang agents.md","settings.personalization.agents.save.success":"Na-save ang agents.md","settings.personalization.agents.title":"Mga custom na instruksyon","settings.personalization.personality.description":"Pumili ng default tone para sa mga sagot ng Codex","settings.personalization.personality.label":"Personality","settings.sample.contentBody":"Gamitin ang layout na ito para buuin ang iyong mga settings panel na may consistent spacing.","settings.sample.contentTitle":"Sample content block","settings.section.account":"Account","settings.section.agent":"Configuration","settings.section.data-controls":"Na-archive na mga thread","settings.section.environments":"Mga Cloud Environment","settings.section.external":"Buksan ang iyong browser habang nasa Alpha","settings.section.general-settings":"Pangkalahatan","settings.section.git-settings":"Git","settings.section.local-environments":"Mga environment","settings.section.mcp-settings":"Mga MCP server","settings.section.mcp-settings.docs":"Mga dokumento","settings.section.mcp-settings.subtitle":"Magkonekta ng mga external tool at data source.","settings.section.personalization":"Personalization","settings.section.skills-settings":"Skills","settings.section.unavailable":"Hindi pa available sa Alpha","settings.section.usage-analytics":"Usage at Analytics","settings.section.worktrees":"Mga worktree","settings.threadDetail.description":"Piliin kung gaano karaming command output ang ipapakita sa mga thread","settings.threadDetail.label":"Thread detail","settings.worktrees.conversation.untitled":"Walang pamagat na pag-uusap","settings.worktrees.delete.error":"Nabigong i-delete ang worktree","settings.worktrees.empty.body":"Lalabas dito ang mga worktree na ginawa ng Codex.","settings.worktrees.empty.title":"Wala pang mga worktree","settings.worktrees.error.body":"May nangyaring mali habang nilo-load ang mga worktree.","settings.worktrees.error.retry":"Subukan ulit","settings.worktrees.error.title":"Hindi ma-load ang mga worktree","settings.worktrees.loading.body":"Kinukuha ang mga detalye ng worktree.","settings.worktrees.loading.title":"Nilo-load ang mga worktree","settings.worktrees.repository.loading":"Nilo-load ang repository metadata…","settings.worktrees.repository.unknown":"Hindi kilalang repository","settings.worktrees.row.conversations":"Mga pag-uusap","settings.worktrees.row.conversations.empty":"Walang mga pag-uusap na naka-link sa worktree na ito.","settings.worktrees.row.conversations.loading":"Nilo-load ang mga pag-uusap...","settings.worktrees.row.delete":"I-delete","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Magdagdag ng bagong proyekto","sidebarElectron.archiveThread":"I-archive ang thread","sidebarElectron.archiveThreadError":"Hindi na-archive ang thread","sidebarElectron.collapseFolder":"I-collapse ang folder","sidebarElectron.createStableWorktree":"Gumawa ng permanenteng worktree","sidebarElectron.createStableWorktree.dialog.ariaLabel":"Pangalan ng proyekto","sidebarElectron.createStableWorktree.dialog.cancel":"Kanselahin","sidebarElectron.createStableWorktree.dialog.create":"Gumawa","sidebarElectron.createStableWorktree.dialog.placeholder":"Pangalan ng proyekto","sidebarElectron.createStableWorktree.dialog.subtitle":"Gumawa ng bagong git worktree mula sa HEAD, idagdag ito bilang isang proyekto, at panatilihin ito hanggang alisin mo ito.","sidebarElectron.createStableWorktree.dialog.title":"Gumawa ng worktree at i-save bilang isang proyekto","sidebarElectron.createStableWorktree.error":"Nabigong gumawa ng permanenteng worktree: {message}","sidebarElectron.debugNavLink":"I-debug","sidebarElectron.editWorkspaceRootOptionName":"I-edit ang pangalan","sidebarElectron.expandFolder":"I-expand ang folder","sidebarElectron.groupByMenu.recency":"Chronological list","sidebarElectron.groupByMenu.title":"Organize","sidebarElectron.groupByMenu.workspace":"Ayon sa proyekto","sidebarElectron.inboxRouteNavLink":"Mga automation","sidebarElectron.markThreadUnread":"Markahan bilang hindi pa nababasa","sidebarElectron.missingWorkspaceRoot":"Na-delete o nailipat ang folder ng proyekto na ito","sidebarElectron.newThread":"Bagong thread","sidebarElectron.newThreadInGroup":"Magsimula ng bagong thread sa {folder}","sidebarElectron.noRecentThreads":"Walang mga kamakailan lang na thread","sidebarElectron.noTasks":"Walang mga thread","sidebarElectron.noTasks.start":"Magdagdag ng bagong proyekto","sidebarElectron.noTasksWithFilter":"Walang mga thread ang tugma sa mga filter","sidebarElectron.pinnedThreads":"Mga naka-pin na thread","sidebarElectron.recentNavLink":"Mga thread","sidebarElectron.recentThreads":"Mga kamakailan lang na thread","sidebarElectron.removeWorkspaceRootOption":"Alisin","sidebarElectron.renameThread":"Pangalanan muli ang thread","sidebarElectron.renameThreadDialogAriaLabel":"Pamagat ng thread","sidebarElectron.renameThreadDialogCancel":"Kanselahin","sidebarElectron.renameThreadDialogPlaceholder":"Magdagdag ng pamagat...","sidebarElectron.renameThreadDialogSave":"I-save","sidebarElectron.renameThreadDialogSubtitle":"Panatilihing maikli at nakikilala","sidebarElectron.renameThreadDialogTitle":"Pangalanan muli ang thread","sidebarElectron.renameThreadError":"Nabigong pangalanan muli ang thread.","sidebarElectron.renameWorkspaceRootOptionLabel":"Display name","sidebarElectron.showLess":"Ipakita ang mas kaunti","sidebarElectron.showMenu.all":"Lahat ng thread","sidebarElectron.showMenu.relevant":"May kabuluhan","sidebarElectron.showMenu.relevantHint":"Ipakita lang ang mga kamakailang thread para sa kasalukuyang branch, mga worktree, o iba pang mga thread na nangangailangan ng atensyon mo","sidebarElectron.showMenu.title":"Ipakita","sidebarElectron.showMenu.tooltip":"I-filter, i-sort, at iorganisa ang mga thread","sidebarElectron.showMenu.trigger":"I-filter ang mga sidebar thread","sidebarElectron.showMore":"Ipakita ang higit pa","sidebarElectron.skillsAppsRouteNavLink":"Mga Skill at App","sidebarElectron.skillsRouteNavLink":"Skills","sidebarElectron.sortMenu.created":"Ginawa","sidebarElectron.sortMenu.title":"Ayusin ayon sa","sidebarElectron.sortMenu.updated":"Na-update","sidebarElectron.taskNavigation":"Mga folder ng automation","sidebarElectron.tasksInFolder":"Mga automation sa {folder}","sidebarElectron.workspaceOptions":"Mga aksyon ng proyekto para sa {folder}","sidebarElectron.worktreeGroupTooltip":"Ito ay isang git worktree","skills.appsPage.apps.enableToggle":"I-enable ang app","skills.appsPage.apps.installOnChatGpt":"I-install sa ChatGPT","skills.appsPage.apps.manageOnChatGpt":"I-manage sa ChatGPT","skills.appsPage.apps.noDescription":"Walang paglalarawan","skills.appsPage.createSkill":"Bagong skill","skills.appsPage.empty.apps":"Walang nahanap na mga app","skills.appsPage.empty.discoverApps":"Walang tutuklasing mga app","skills.appsPage.empty.installedApps":"Walang naka-install na mga app","skills.appsPage.empty.skills":"Walang nahanap na mga skill","skills.appsPage.heading":"Mga Skill at App","skills.appsPage.search.all":"Maghanap ng mga skill at app","skills.appsPage.search.all.label":"Maghanap ng mga skill at app","skills.appsPage.search.apps":"Maghanap sa mga app","skills.appsPage.search.apps.label":"Maghanap sa mga app","skills.appsPage.search.skills":"Maghanap ng mga skill","skills.appsPage.search.skills.label":"Maghanap ng mga skill","skills.appsPage.section.apps":"Mga app","skills.appsPage.section.apps.seeAll":"Tingnan ang lahat ng {count} (na) app","skills.appsPage.section.discover":"Tuklasin","skills.appsPage.section.installedApps":"Naka-install","skills.appsPage.section.skills":"Skills","skills.appsPage.section.skills.seeAll":"Tingnan ang lahat ng {count} (na) skill","skills.appsPage.subheading":"Bigyan ang Codex ng mga superpower. <link>Alamin ang higit pa</link>","skills.appsPage.tab.apps":"Mga app","skills.appsPage.tab.recommended":"Inirerekomenda","skills.appsPage.tab.skills":"Skills","skills.card.contentsError":"Hindi ma-load ang mga skill content.","skills.card.disable":"I-disable","skills.card.disableSuccess":"{skillName} skill ang naka-disable","skills.card.disabledBadge":"Naka-disable","skills.card.enable":"I-enable","skills.card.enableSuccess":"{skillName} skill ang naka-enable","skills.card.loadingContents":"Nilo-load ang mga skill content...","skills.card.more":"Mas maraming aksyon","skills.card.open":"Buksan","skills.card.removeFailed":"Nabigong i-uninstall ang skill","skills.card.removeSuccess":"{skillName} skill ang na-uninstall","skills.card.toggleEnabledError":"Nabigong i-update ang skill","skills.card.try":"Subukan","skills.card.trySkill":"Subukan ang skill","skills.card.uninstall":"I-uninstall","skills.hero.dotLabel":"Pumunta sa slide {index}","skills.hero.next":"Susunod na featured skill","skills.hero.trySkill":"Subukan ang skill","skills.page.createSkill":"Bagong Skill","skills.page.empty":"Walang nahanap na mga skill","skills.page.filteredEmpty":"Walang mga skill ang tumutugma sa iyong mga filter","skills.page.filteredEmptyDescription":"Subukang i-adjust ang iyong paghahanap o mga filter ng saklaw","skills.page.heading":"Skills","skills.page.loading":"Nilo-load ang mga skill...","skills.page.refreshSkills":"I-refresh","skills.page.refreshSkillsToUseNew":"I-refresh para gamitin ang (mga) bagong skill","skills.page.search":"Maghanap ng mga skill","skills.page.search.label":"Maghanap ng mga skill","skills.page.subheading":"Bigyan ang Codex ng mga superpower. <link>Alamin ang higit pa</link>","skills.preview.copyPrompt":"Kopyahin ang prompt","skills.preview.examplePrompt":"Halimbawang prompt","skills.recommended.error":"Hindi ma-load ang mga inirerekomendang skill","skills.recommended.install":"I-install","skills.recommended.installSkill":"Mag-install ng skill","skills.recommended.installSuccess":"{skillName} skill ang na-install","skills.recommended.installed":"Naka-install","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Na-install ang admin","skills.scope.builtIn":"System","skills.scope.personal":"Personal","skills.scope.repo":"Repo","skills.scope.system":"System","skills.scope.team":"Team","skills.scope.user":"User","skills.section.installed":"Naka-install","skills.section.recommended":"Inirerekomenda","story.slidingToggle.existing":"Umiiral","story.slidingToggle.fromLocal":"Mula sa local","story.slidingToggle.new":"Bago","story.slidingToggle.toLocal":"Sa local","terminal.close":"Isara ang terminal","terminal.title":"Terminal","thinkingShimmer.default":"Nag-iisip","threadEnvIcon.cloudTooltip":"Tumatakbo ang pag-uusap na ito sa Codex Cloud.","threadEnvIcon.localTooltip":"Ang pag-uusap na ito ay tumatakbo sa lokal.","threadEnvIcon.worktreeTooltip":"Tumatakbo ang pag-uusap na ito sa isang lokal na git worktree.","threadHeader.archiveConfirmCancel":"Kanselahin","threadHeader.archiveConfirmConfirm":"I-archive","threadHeader.archiveConfirmSubtitle":"Mahahanap mo ito sa iyong naka-archive na mga thread.","threadHeader.archiveConfirmTitle":"I-archive ang thread?","threadHeader.copyAppLink":"Kopyahin ang deeplink","threadHeader.copySessionId":"Kopyahin ang session ID","threadHeader.copyWorkingDirectory":"Kopyahin ang working directory","threadHeader.forkIntoLocal":"Gumawa ng hiwalay na kopya sa local","threadHeader.forkIntoWorktree":"Gumawa ng hiwalay na kopya sa bagong worktree","threadHeader.forkPendingWorktreePrompt":"Gumawa ng hiwalay na kopya ng pag-uusap na ito sa bagong worktree.","threadHeader.forkPendingWorktreeTitle":"Pag-uusap na ginawan ng hiwalay na kopya","threadHeader.forkThreadError":"Nabigong gawan ng hiwalay na kopya ang thread","threadHeader.forkThreadRequiresGitRepo":"Gumagawa ng worktree para gawan ng hiwalay na kopya ang pag-uusap na ito.","threadHeader.moreActions":"Mga aksyon sa thread","threadPage.newThread":"Bagong thread","threadPage.runAction.changeEnvironment":"Palitan ang environment","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} mga aksyon","threadPage.runAction.environmentSelector.label":"Pumili ng environment","threadPage.runAction.label":"Paganahin","threadPage.runAction.missing.label":"Mag-set up ng run action","threadPage.runAction.setup.commandLabel":"Command na paganahin","threadPage.runAction.setup.description":"Sabihin sa Codex kung paano i-install ang dependencies at simulan ang app mo.","threadPage.runAction.setup.editMore":"Mga setting ng environment","threadPage.runAction.setup.placeholder":"hal: npm install npm run","threadPage.runAction.setup.submit":"I-save at paganahin","threadPage.runAction.setup.title":"Paganahin","threadPage.runAction.tooltip.withEnvironment":"{environmentName} mga aksyon","threadPage.toggleDiffPanel":"I-toggle ang diff panel","threadPage.toggleTerminal":"I-toggle ang terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Open folder","toolSummaryForCmd.exploredFiles":"<verb>Mga nakalistang</verb> file","toolSummaryForCmd.exploredFilesInPath":"<verb>Mga naglistang</verb> file sa {path}","toolSummaryForCmd.exploringFiles":"<verb>Paglilista</verb> ng mga file","toolSummaryForCmd.exploringFilesInPath":"<verb>Paglilista</verb> ng mga file sa {path}","toolSummaryForCmd.finishedBackgroundTerminal":"Tapos na ang background terminal","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"Tapos na ang background terminal ng {command}","toolSummaryForCmd.ranGenericCommand":"<status>Pinagana ang command</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ran</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Basahin</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Pinagagana ang command</status>{timer}","toolSummaryForCmd.runningTimer":"para sa {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Naghanap</verb> ng {query}","toolSummaryForCmd.searchedForFiles":"<verb>Naghanap</verb> ng mga file","toolSummaryForCmd.searchedForInPath":"<verb>Naghanap</verb> ng {query} sa {path}","toolSummaryForCmd.searchingFor":"<verb>Naghahanap</verb> ng {query}","toolSummaryForCmd.searchingForFiles":"<verb>Naghahanap</verb> ng mga file","toolSummaryForCmd.searchingForInPath":"<verb>Naghahanap</verb> ng {query} sa {path}","toolSummaryForCmd.startedBackgroundTerminal":"Sinimulan ang background terminal","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"Sinimulan ang background terminal ng {command}","traceRecording.details.noteLabel":"Ano ang ginagawa mo noong nangyari ito? (opsyonal)","traceRecording.details.notePlaceholder":"Pumunta sa malaking thread, at saka paulit-ulit na nagpalipat-lipat sa mga tab...","traceRecording.details.submit":"Ipadala ang trace","traceRecording.details.subtitle":"Puwede naming ipadala ang profile trace na ito para tumulong na ma-diagnose ang mga isyu sa performance.","traceRecording.details.title":"Ipadala ang profile trace?","traceRecording.progress.subtitle":"Panatilihing bukas ang Codex habang natatapos ito.","traceRecording.saving.title":"Sine-save ang trace…","traceRecording.startDetails.cancel":"Kanselahin","traceRecording.startDetails.submit":"OK, Simulan ang Pagre-record","traceRecording.startDetails.subtitle":"Pagkatapos mong i-click ang OK, i-reproduce ang isyu sa performance, at saka i-click ang floating red indicator para ihinto at suriin ang trace.","traceRecording.startDetails.title":"Paano Gumagana ang Trace Recording","traceRecording.stopButton.ariaLabel":"Ihinto ang trace recording","traceRecording.upload.successToast":"Naipadala ang profile trace.","traceRecording.uploading.title":"Ina-upload ang trace...","wham.diff.addComment":"Magdagdag ng komento","wham.diff.binaryFile":"Hindi ipinapakita ang binary file","wham.diff.noContent":"Walang content","wham.fileTag.deleted":"Na-delete","wham.fileTag.new":"Bago","wham.formattedRelativeDateTime.compactDaysAgo":"{value}a","wham.formattedRelativeDateTime.compactHoursAgo":"{value}o","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}bu","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}l","wham.formattedRelativeDateTime.compactYearsAgo":"{value}t","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Ginagawa ang iyong gawain","wham.whamProposedTask.title":"Magmungkahi ng gawain","wham.whamProposedTask.useSuggestion":"Gamitin ang suhestiyon","workspaceRootDialog.addError":"Nabigong idagdag ang proyekto","workspaceRootDialog.cancel":"Kanselahin","workspaceRootDialog.confirmAdd":"Magdagdag ng proyekto","workspaceRootDialog.confirmPick":"Gumamit ng proyekto","workspaceRootDialog.description":"Maglagay ng path sa {host} para gamitin bilang proyekto.","workspaceRootDialog.pathLabel":"Path ng proyekto","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Magdagdag ng path ng proyekto","workspaceRootDialog.title.pick":"Pumili ng path ng proyekto","worktreeInitV2.cancel":"Kanselahin","worktreeInitV2.notification.failedTitle":"Nabigo ang pag-set up ng worktree","worktreeInitV2.output.empty":"Naghihintay ng output...","worktreeInitV2.status.error":"Nabigo ang pag-set up ng worktree","worktreeInitV2.status.running":"Gumagawa ng worktree at nagpapagana ng setup.","worktreeInitV2.status.runningFork":"Gumagawa ng worktree para gawan ng hiwalay na kopya ang pag-uusap na ito.","worktreeInitV2.status.success":"Handa na ang worktree.","worktreeInitV2.title":"Gumagawa ng worktree","worktreeInitV2.workLocallyInstead":"Sa halip ay magtrabaho sa local","worktreeRestoreBanner.body":"Inalis ang worktree ng thread na ito para mag-save ng disk space","worktreeRestoreBanner.missing.body":"Wala na ang working directory ng thread na ito.","worktreeRestoreBanner.missing.title":"Nawawala ang kasalukuyang working directory","worktreeRestoreBanner.restore.error":"Nabigong i-restore ang worktree: {message}","worktreeRestoreBanner.restore.success":"Na-restore na ang worktree","worktreeRestoreBanner.restoreCta":"I-restore ang worktree","worktreeRestoreBanner.title":"Nalinis na ang worktree"};export{a as default};
+const a={"CopyButton.copyTooltip":"Kopyahin","app.sidebar.hide":"Itago ang sidebar","app.sidebar.show":"Ipakita ang sidebar","app.sidebar.tooltip":"I-toggle ang sidebar","appHeader.installUpdate":"I-update","appSunset.body":"Ang bersyon ng app na ito ay hindi na suportado. Paki-download ang pinakabagong bersyon <here>dito</here>.","appSunset.title":"Kailangan ng update","automation.updateDirective.create":"Gumawa","automation.updateDirective.open":"Buksan","automation.updateDirective.untitled":"Walang pamagat na automation","automation.updateDirective.update":"I-update","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# pagtatangka} other {# (na) pagtatangka}}","cloudTaskRow.archiveError":"Nabigong i-archive ang gawain","code.diff.requestChange":"Humingi ng pagbabago","code.diffComment.cancel":"Kanselahin","code.diffComment.comment":"Komento","code.diffComment.delete":"Tanggalin","code.diffComment.save":"I-save","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Wala na-report na mga natuklasan.","codex.alert.closeAriaLabel":"Isara","codex.appUpsellBanner.cbpApi.message":"Gumawa nang mas mabilis gamit ang Codex app. I-download na ngayon o {learnMoreLink}.","codex.appUpsellBanner.download":"I-download","codex.appUpsellBanner.freeGo.message":"Kasama ang Codex sa iyong plan hanggang sa ika-2 ng Marso. Subukan ang Codex app para gumawa nang mas mabilis.","codex.appUpsellBanner.later":"Mamaya","codex.appUpsellBanner.learnMoreLowercase":"alamin ang higit pa","codex.appUpsellBanner.new":"Bago","codex.appUpsellBanner.proPlusBusiness.message":"Subukan ang Codex app na may 2x rate limit hanggang ika-2 ng Abril. I-download na ngayon o {learnMoreLink}.","codex.appUpsellBanner.title":"Codex app","codex.applyDropdown.header.changes":"Mga pagbabago","codex.applyDropdown.header.fileCount":"{count, plural, one {# file} other {# (na) file}}","codex.applyDropdown.header.rows":"(na) row","codex.applyDropdown.header.title":"Ilapat ang mga pagbabago","codex.applyDropdown.header.workspace":"Proyekto","codex.applyDropdown.results.conflicted":"{count, plural, one {1 file ang may salungatan:} other {{count} (na) file ang may salungatan:}}","codex.applyDropdown.results.empty":"Walang nakopyang mga file","codex.applyDropdown.results.skipped":"{count, plural, one {1 file ang nalaktawan:} other {{count} (na) file ang nalaktawan:}}","codex.applyOrRevertBanner.apply":"Ilapat","codex.applyOrRevertBanner.applyMessage":"Ilapat ang mga pagbabago at magpatuloy sa lokal?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Ang gawaing ito ay ginawa sa {environment} kaya baka hindi mailapat nang malinis.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Ang mga pagbabago ay ginawa sa {environment} kaya baka hindi mailapat nang malinis.","codex.applyOrRevertBanner.reapply":"Muling ilapat","codex.applyOrRevertBanner.revert":"Bumalik","codex.applyOrRevertBanner.revertMessage":"I-revert ang mga inilapat na pagbabago?","codex.applyResultsDialog.applied":"Malinis na nailapat ({count})","codex.applyResultsDialog.close":"Isara","codex.applyResultsDialog.conflicted":"Conflicted ({count})","codex.applyResultsDialog.noDetails":"Walang available na mga detalye ng file.","codex.applyResultsDialog.skipped":"Nilaktawan ({count})","codex.applyResultsDialog.title":"Ilapat ang mga resulta","codex.archiveInfo":"Tingnan ang naka-archive na mga chat sa {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Mga Kontrol ng Data","codex.archiveInfo.electron":"Tingnan ang naka-archive na mga chat sa {settingsLink}","codex.archiveInfo.extension":"Tingnan ang naka-archive na mga chat sa iyong .codex folder.","codex.archiveInfo.settingsLink":"Mga setting","codex.banner.content.description":"Pagsabay-sabayin ang mga gawain, subaybayan ang pag-usad kahit saan, at suriin ang mga PR gamit ang AI.","codex.banner.content.headline":"Lahat ginagawa ng Codex.","codex.cloudTaskRow.archiveTask":"I-archive ang gawain","codex.cloudTaskRow.confirmArchiveTask":"Kumpirmahin","codex.command.feedback":"Feedback","codex.command.findInThread":"Maghanap","codex.command.forceReloadSkills":"I-force reload ang mga skill","codex.command.logOut":"Mag-log out","codex.command.manageTasks":"I-manage ang mga gawain","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Bumalik","codex.command.navigateForward":"Pasulong","codex.command.newThread":"Bagong thread","codex.command.nextThread":"Susunod na thread","codex.command.openFolder":"Open folder","codex.command.openSkills":"Walang mga skill","codex.command.openThreadOverlay":"Pop out thread","codex.command.personalitySettings":"Personality","codex.command.previousThread":"Nakaraang thread","codex.command.settings":"Mga setting","codex.command.toggleDiffPanel":"I-toggle ang diff panel","codex.command.toggleSidebar":"I-toggle ang sidebar","codex.command.toggleTerminal":"I-toggle ang terminal","codex.commandGroup.app":"App","codex.commandGroup.configure":"I-configure","codex.commandGroup.navigation":"Navigation","codex.commandGroup.panels":"Mga panel","codex.commandGroup.skills":"Skills","codex.commandGroup.thread":"Thread","codex.commandGroup.workspace":"Proyekto","codex.commandMenu.noResults":"Walang mga katugma","codex.commandMenu.searchPlaceholder":"Maghanap ng mga command","codex.commandMenu.suggestedGroup":"Iminumungkahi","codex.commandMenu.switchWorkspace":"Lumipat ng proyekto","codex.commandMenu.title":"Command menu","codex.common.retry":"Subukan ulit","codex.composer.searchBranches":"Maghanap sa mga branch","codex.dialog.basic.body":"Ito ay simpleng modal dialog gamit ang aming wrapper sa paligid ng Radix Dialog.","codex.dialog.basic.cancel":"Kanselahin","codex.dialog.basic.confirm":"Kumpirmahin","codex.dialog.basic.open":"Buksan ang Dialog","codex.dialog.basic.title":"Sample Dialog","codex.dialog.long.close":"Isara","codex.dialog.long.line":"Scrollable line {index} para ipakita ang mahabang content sa loob ng dialog.","codex.dialog.long.open":"Buksan ang Mahabang Dialog","codex.dialog.long.title":"Mahabang Content Dialog","codex.dialog.unstyled.body":"Ipinapakita ng kuwento na ito kung paano ganap na makokontrol ng mga user ang dialog content styling.","codex.dialog.unstyled.open":"Buksan ang Unstyled Dialog","codex.dialog.unstyled.title":"Unstyled Content","codex.diff.openInEditorPrompt.openButton":"Buksan sa editor","codex.diff.openInEditorPrompt.singleLine":"Masyadong malaki ang file na ito para ipakita dito.","codex.diffView.failedToDecodeBase64Diff":"Nabigong i-decode ang base64 diff","codex.diffView.filesChanged":"{fileCount, plural, one {# file ang nagbago} other {# (na) file ang nagbago}}","codex.diffView.imagePreviewAlt":"Preview ng larawan","codex.diffView.imagePreviewEmpty":"Walang larawan","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Walang diff data","codex.diffView.pdfPreview.nextPage":"Susunod na pahina","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Nakaraang pahina","codex.diffView.pdfPreviewEmpty":"Walang PDF preview","codex.diffView.pdfPreviewError":"Hindi mabuo ang PDF preview","codex.diffView.richPreviewDisable":"I-disable ang rich preview","codex.diffView.richPreviewEnable":"I-enable ang rich preview","codex.diffView.richPreviewLoading":"Nilo-load ang preview…","codex.diffView.richPreviewToggle":"I-toggle ang rich preview","codex.diffView.switchToUnified":"Lumipat sa unified diff","codex.environmentSelector.noEnvironment":"Walang environment","codex.environments.environmentSettings":"Mga setting ng environment","codex.environments.learnMore":"Matuto pa","codex.environments.listError":"Nabigong i-load ang mga environment.","codex.environments.noEnvironmentsFound":"Walang nahanap na mga environment","codex.environments.searchError":"Nabigong maghanap sa mga environment.","codex.errorBoundary.genericError":"Naku, nagkaroon ng error","codex.errorBoundary.goHome":"Subukan ulit","codex.file.patch.missing":"Hindi makagawa ng patch para sa file na ito.","codex.gallery.automations.cwdLabel":"Mga proyekto","codex.gallery.automations.nameLabel":"Pangalan","codex.gallery.automations.namePlaceholder":"Ibuod ang isang gawain","codex.gallery.automations.promptLabel":"Prompt","codex.gallery.automations.promptPlaceholder":"Ilarawan kung ano ang dapat gawin ng Codex","codex.gallery.dialogs.automation.label":"Automation dialog","codex.gallery.dialogs.basic.body":"Gamitin ang layout na ito para sa madaling kumpirmasyon at maiikling form.","codex.gallery.dialogs.basic.cancel":"Kanselahin","codex.gallery.dialogs.basic.confirm":"Kumpirmahin","codex.gallery.dialogs.basic.label":"Basic dialog","codex.gallery.dialogs.basic.title":"Sample dialog","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Ilarawan ang isyu","codex.gallery.dialogs.feedbackSubmission.bad":"Masamang resulta","codex.gallery.dialogs.feedbackSubmission.bug":"Bug","codex.gallery.dialogs.feedbackSubmission.good":"Magandang resulta","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Isama ang kasalukuyang mga Codex session log","codex.gallery.dialogs.feedbackSubmission.label":"Pagsusumite ng feedback","codex.gallery.dialogs.feedbackSubmission.other":"Iba pa","codex.gallery.dialogs.feedbackSubmission.placeholder":"Ilarawan ang isyu dito","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"Pagsusuri sa Kaligtasan","codex.gallery.dialogs.feedbackSubmission.submit":"Isumite","codex.gallery.dialogs.feedbackSubmission.title":"Feedback","codex.gallery.dialogs.feedbackSuccess.body":"Na-upload na ang feedback. Kung magpatuloy ang problema, magbukas ng GitHub issue o banggitin ang thread id sa isang bukas na issue:","codex.gallery.dialogs.feedbackSuccess.dismiss":"I-dismiss","codex.gallery.dialogs.feedbackSuccess.label":"Tagumpay ang feedback","codex.gallery.dialogs.feedbackSuccess.title":"Na-upload na ang feedback","codex.gallery.dialogs.gitApplyResults.applied":"Malinis na nailapat (2)","codex.gallery.dialogs.gitApplyResults.close":"Isara","codex.gallery.dialogs.gitApplyResults.conflicted":"May salungatan (1)","codex.gallery.dialogs.gitApplyResults.label":"Ilapat ang mga resulta","codex.gallery.dialogs.gitApplyResults.title":"Ilapat ang mga resulta","codex.gallery.dialogs.gitPushError.body":"Kunin ang mga pinakahuling pagbabago o i-force push kung alam mo na ang remote history ay ligtas na i-overwrite.","codex.gallery.dialogs.gitPushError.cancel":"Kanselahin","codex.gallery.dialogs.gitPushError.force":"Force push","codex.gallery.dialogs.gitPushError.label":"Push error","codex.gallery.dialogs.gitPushError.subtitle":"Ang iyong branch ay nasa likod ng origin/main.","codex.gallery.dialogs.gitPushError.title":"Hindi na-push ang mga pagbabago","codex.gallery.dialogs.gitRevert.cancel":"Kanselahin","codex.gallery.dialogs.gitRevert.confirm":"Bumalik","codex.gallery.dialogs.gitRevert.label":"Baliktarin ang mga pagbabago","codex.gallery.dialogs.gitRevert.skip":"Huwag muling itanong","codex.gallery.dialogs.gitRevert.subtitle":"Inaalis ng aksyong ito ang lahat ng pagbabagong ito.","codex.gallery.dialogs.gitRevert.title":"Baliktarin ang mga pagbabago?","codex.gallery.dialogs.longForm.label":"Long form dialog","codex.gallery.dialogs.proseModal.body":"Ginagamit ang modal style na ito para sa mas mahahabang instruksyon, onboarding, o rich content blocks.","codex.gallery.dialogs.proseModal.close":"Isara","codex.gallery.dialogs.proseModal.subtitle":"Magbahagi ng mas mahahabang anyo ng patnubay o dokumentasyon dito.","codex.gallery.dialogs.proseModal.title":"Prose modal","codex.gallery.dialogs.submitBlocked.label":"Hinarangan ang isumite","codex.gallery.dialogs.submitBlocked.message":"Hindi maipadala ang mensahe mo dahil hindi available ang proyekto.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Hindi maipadala ang mensahe","codex.gallery.dialogs.title":"Mga dialog","codex.gallery.dropdown.filterPlaceholder":"I-filter ang mga item","codex.gallery.dropdowns.actionRow":"Action rows","codex.gallery.dropdowns.actionRow.disabled":"Na-disable na aksyon","codex.gallery.dropdowns.actionRow.primary":"Pangunahing aksyon","codex.gallery.dropdowns.actionRow.secondary":"Sekundaryang aksyon","codex.gallery.dropdowns.actionRow.trigger":"Ipakita ang mga aksyon","codex.gallery.dropdowns.basic":"Basic dropdown","codex.gallery.dropdowns.basic.newFile":"Bagong file","codex.gallery.dropdowns.basic.newFolder":"Bagong folder","codex.gallery.dropdowns.basic.openSettings":"Buksan ang mga setting","codex.gallery.dropdowns.basic.title":"Mabibilis na aksyon","codex.gallery.dropdowns.basic.trigger":"Buksan ang menu","codex.gallery.dropdowns.basic.upload":"I-upload","codex.gallery.dropdowns.panel":"Panel surface","codex.gallery.dropdowns.panel.apply":"Ilapat","codex.gallery.dropdowns.panel.body":"Suriin ang diffs at ilapat sa iyong proyekto.","codex.gallery.dropdowns.panel.preview":"I-preview","codex.gallery.dropdowns.panel.title":"Ilapat ang mga pagbabago","codex.gallery.dropdowns.panel.trigger":"Buksan ang panel","codex.gallery.dropdowns.search":"Searchable dropdown","codex.gallery.dropdowns.search.first":"Alpha channel","codex.gallery.dropdowns.search.second":"Beta branch","codex.gallery.dropdowns.search.third":"Release candidate","codex.gallery.dropdowns.search.trigger":"I-filter ang mga item","codex.gallery.dropdowns.submenu":"Dropdown na may submenu","codex.gallery.dropdowns.submenu.optionA":"Project alpha","codex.gallery.dropdowns.submenu.optionB":"Project beta","codex.gallery.dropdowns.submenu.optionC":"Project gamma","codex.gallery.dropdowns.submenu.primary":"Mag-assign ng may-ari","codex.gallery.dropdowns.submenu.secondary":"Ilipat sa","codex.gallery.dropdowns.submenu.tertiary":"I-archive","codex.gallery.dropdowns.submenu.trigger":"Pumili ng aksyon","codex.gallery.dropdowns.title":"Mga dropdown","codex.gallery.inbox.automations.close":"Isara","codex.gallery.inbox.automations.popover.cardTitle":"I-manage ang mga automation","codex.gallery.inbox.automations.popover.dialogTitle":"I-manage ang mga automation","codex.header.settingsTooltip":"Mga setting","codex.hunk.patch.error":"Hindi na-stage","codex.hunk.patch.missing":"Hindi makagawa ng patch para sa hunk na ito.","codex.hunk.patch.partialSuccess":"Bahagyang tagumpay","codex.hunk.patch.revertError":"Hindi na-unstage","codex.hunk.patch.revertSuccess":"Tagumpay na na-unstage","codex.hunk.patch.success":"Tagumpay na na-stage","codex.legal.autonomy.details":"Para sa higit pang mga detalye, tingnan ang {link}","codex.legal.autonomy.details.link":"Codex docs","codex.legal.autonomy.title":"Ipasya kung gaano karaming autonomy ang gusto mong ibigay","codex.legal.backButton":"Bumalik","codex.legal.cloud.taskOne.meta":"openai/agi · Okt 12","codex.legal.cloud.taskOne.title":"Ipaliwanag ang repository sa isang bagong designer","codex.legal.cloud.taskThree.meta":"openai/codex · Okt 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Gumawa ng darkmode theme","codex.legal.cloud.taskTwo.meta":"openai/agi · Okt 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Ayusin ang isang onboarding bug","codex.legal.continue.apikey":"Magpatuloy","codex.legal.continueButton":"Susunod","codex.legal.copilot.details":"Ginagamit ang iyong Copilot plan para sa lahat ng model call, billing, at mga rate limit. Ang Codex extension usage ay napapailalim sa parehong {oaiTos} at {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Mga Tuntunin ng Serbisyo ng GitHub","codex.legal.copilot.oaiTosLink":"Mga tuntunin ng serbisyo ng OpenAI Codex","codex.legal.copilot.title":"Pinagagana ng GitHub Copilot","codex.legal.mistakes.review":"Suriin ang code na sinusulat nito at mga command na pinagagana nito","codex.legal.mistakes.title":"Puwedeng magkamali ang Codex","codex.legal.powered.details":"Ginagamit ang mga rate limit ng plano mo at {link}","codex.legal.powered.details.link":"mga kagustuhan sa data ng pagsasanay","codex.legal.powered.title":"Pinagagana ng iyong ChatGPT account","codex.legal.step.cloud.subtitle":"Magpadala ng mga gawain sa Codex para paganahin sa background upang manatili kang nakatuon at kumilos nang mas mabilis.","codex.legal.step.cloud.title":"Ipadala sa Codex sa cloud","codex.legal.step.intro.subtitle":"Nagna-navigate, nage-edit, nagpapagana ng mga command, at nagpapatupad ng mga pagsubok ang Codex nang direkta sa iyong repo. Pinagagana ng iyong ChatGPT account.","codex.legal.step.intro.title":"Codex sa iyong IDE","codex.legal.step.todo.subtitle":"Sumulat ng TODO comment at gawin itong isang gawain sa Codex sa isang click lang.","codex.legal.step.todo.title":"Gawin ang mga TODO para maging mga gawain sa Codex","codex.legal.todo.heading":"// TODO: ipatupad ang schema","codex.localConversation.closeImagePreview":"Isara ang preview ng larawan","codex.localConversation.userImageAttachment":"Attachment ng user","codex.localTaskRow.archiveTask":"I-archive ang thread","codex.localTaskRow.awaitingApproval":"Naghihintay ng pag-apruba","codex.localTaskRow.awaitingResponse":"Naghihintay ng sagot","codex.localTaskRow.confirmArchiveTask":"Kumpirmahin","codex.loggedOut.apiKeyPrompt.cancel":"Kanselahin","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Kunin ang API Key","codex.loggedOut.apiKeyPrompt.inputLabel":"Ilagay ang iyong OpenAI API key","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Naka-disable ang mga gawain sa cloud kapag gumagamit ng API key","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Naka-disable ang mga gawain sa cloud kapag gumagamit ng Copilot at API key","codex.loggedOut.signIn":"Mag-sign in gamit ang ChatGPT","codex.loggedOut.signIn.cancel":"Kanselahin ang Pag-sign-in","codex.loggedOut.signInWithCopilot":"Mag-sign in gamit ang GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Gumamit ng API Key","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} tool","codex.mcpTool.collapsedLabel.verb.called":"Tinawagan","codex.mcpTool.collapsedLabel.verb.calling":"Tinatawagan","codex.mcpTool.embeddedResource.contentLabel":"Content","codex.mcpTool.embeddedResource.mimeTypeLabel":"Uri ng MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Walang ibinalik na content ang tool","codex.mcpTool.rawPayloadHeading":"Raw {server}.{tool} tool call payload","codex.menu.recent":"Kamakailan lang","codex.menu.seeAllHistory":"Tingnan ang lahat ng kasaysayan","codex.modelCapacityBanner.headline.noReset":"{modelName} ay nasa capacity ngayon. Subukan ulit sa ibang pagkakataon, o magsimula ng bagong pag-uusap gamit ang ibang modelo.","codex.modelCapacityBanner.headline.withReset":"{modelName} ay nasa capacity ngayon. Subukan ulit pagkalipas ng {resetDate}, o magsimula ng bagong pag-uusap gamit ang ibang modelo.","codex.modelCapacityBanner.title":"Nasa capacity na ang napiling modelo","codex.patch.change.contentsDeleted":"Na-delete ang mga content","codex.patch.change.created":"Ginawa","codex.patch.change.created-file":"Ginawa ang file","codex.patch.change.creating":"Ginagawa","codex.patch.change.deleted":"Na-delete","codex.patch.change.deleted-file":"Na-delete na file","codex.patch.change.deleting":"Dine-delete","codex.patch.change.edited":"Na-edit","codex.patch.change.edited-file":"Na-edit na file","codex.patch.change.editing":"Nag-e-edit","codex.patch.change.noChanges":"Walang mga pagbabago","codex.patch.change.rejected-add":"Tinanggihan","codex.patch.change.rejected-delete":"Tinanggihan","codex.patch.change.rejected-edit":"Tinanggihan","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} sa {total} (na) gawain ay nakumpleto na","codex.plan.todoListCreated":"Ginawa ang listahan ng gagawin na may {total} (na) gawain","codex.profileDropdown.apiKeyAuth":"Nag-log in gamit ang API key","codex.profileDropdown.codexSettings":"Mga Codex setting","codex.profileDropdown.copilotAuth":"Nag-log in gamit ang Copilot","codex.profileDropdown.defaultAccountTitle":"Default account","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter para magpadala ng mga mahabang prompt","codex.profileDropdown.enterBehaviorError":"Nabigong i-update ang setting","codex.profileDropdown.getPlus":"Mag-upgrade sa mas matataas na limit","codex.profileDropdown.keyboardShortcuts":"Mga keyboard shortcut","codex.profileDropdown.language":"Wika","codex.profileDropdown.languageDefault":"Awtomatikong I-detect","codex.profileDropdown.languageSearchPlaceholder":"Maghanap ng mga wika","codex.profileDropdown.languageUpdateError":"Hindi na-update ang wika","codex.profileDropdown.logOut":"Mag-log out","codex.profileDropdown.mcp":"Mga MCP setting","codex.profileDropdown.openConfigToml":"Buksan ang config.toml","codex.profileDropdown.openConfigToml.wsl":"Buksan ang config.toml sa WSL environment","codex.profileDropdown.openExtensionSettings":"Buksan ang mga setting","codex.profileDropdown.openMcpSettings":"Buksan ang mga MCP setting","codex.profileDropdown.openOnStartup":"Buksan sa startup","codex.profileDropdown.openOnStartupError":"Nabigo ang pag-update ng setting","codex.profileDropdown.openSkillsSettings":"Buksan ang mga setting ng Mga Skill","codex.profileDropdown.personalAccountTitle":"Personal na account","codex.profileDropdown.queueFollowUps":"Mga follow up sa queue","codex.profileDropdown.queueFollowUpsError":"Nabigong i-update ang setting","codex.profileDropdown.readDocs":"Basahin ang mga dokumento","codex.profileDropdown.readSkillsDocs":"Basahin ang mga dokumento","codex.profileDropdown.runInWsl":"Paganahin sa WSL","codex.profileDropdown.runInWslError":"Nabigo ang pag-update ng setting","codex.profileDropdown.runInWslTooltip":"Paganahin ang Codex sa loob ng WSL. Inirerekomenda para sa mas mahusay na seguridad ng sandbox at mas magandang performance.","codex.profileDropdown.settings":"Mga setting ng IDE","codex.profileDropdown.settingsPage":"Mga setting","codex.profileDropdown.signInWithOpenAI":"Mag-sign in gamit ang ChatGPT","codex.profileDropdown.skills":"Mga setting ng Mga Skill","codex.profileDropdown.switchToCopilotAccount":"Gamitin ang Copilot account","codex.profileDropdown.switchToOpenAIAccount":"Gamitin ang OpenAI account","codex.profileDropdown.todoCodelens":"Ayusin ang mga komento sa TODO","codex.profileDropdown.todoCodelensError":"Nabigong i-update ang setting","codex.profileDropdown.windowsDocumentation":"Dokumentasyon ng Windows","codex.profileFooter.signedInFallback":"Mga setting","codex.profileFooter.upgrade":"I-upgrade","codex.recentTasksMenu.clearSearch":"I-clear ang paghahanap","codex.recentTasksMenu.cloud":"Mga gawain sa cloud","codex.recentTasksMenu.count":"{count, plural, =0 {Walang gawaing kasalukuyang ginagawa} one {# gawain ang kasalukuyang ginagawa} other {# (na) gawain ang kasalukuyang ginagawa}}","codex.recentTasksMenu.empty":"Wala pang mga thread","codex.recentTasksMenu.errorCloud":"Nabigong i-load ang mga gawain.","codex.recentTasksMenu.errorCloud.inline":"Nabigong i-load ang mga gawain sa cloud.","codex.recentTasksMenu.filterAll":"Lahat","codex.recentTasksMenu.filterCloudTasks":"I-filter ang mga gawain sa cloud","codex.recentTasksMenu.filterTooltip":"I-filter ang mga gawain ayon sa environment","codex.recentTasksMenu.local":"Mga lokal na gawain","codex.recentTasksMenu.recent":"Lahat ng gawain","codex.recentTasksMenu.search":"Maghanap sa mga kamakailang gawain","codex.recentTasksMenu.searchEmpty":"Walang resulta","codex.recentTasksMenu.tooltip":"Kasaysayan ng gawain","codex.recentTasksMenu.trigger":"Mga kamakailang gawain. {count, plural, one {# ang kasalukuyang ginagawa} other {# ang kasalukuyang ginagawa}}","codex.remoteConversation.applyDiff.applyCta":"Ilapat ang mga pagbabago","codex.remoteConversation.applyDiff.dropdownTitle":"Ilapat ang mga pagbabago sa lokal na branch","codex.remoteConversation.applyDiff.revertCta":"Baliktarin ang mga pagbabago","codex.remoteConversation.closeImagePreview":"Isara ang preview ng larawan","codex.remoteConversation.codexCloudTask":"Tinitingnan mo ang isang gawain sa <u>Codex cloud</u>","codex.remoteConversation.errorWithMessage":"Error: {message}","codex.remoteConversation.loadingImage":"Nilo-load ang larawan","codex.remoteConversation.openInWeb":"Buksan sa web","codex.remoteConversation.streaming":"Pagsisimula","codex.remoteConversation.turnFailed":"May nangyaring error habang ginagawa ang gawaing ito","codex.remoteConversation.turnTab.loading":"Pagtatangka {number}","codex.remoteConversation.turnTab.title":"Pagtatangka {number}","codex.remoteConversation.userImageAttachment":"Attachment ng user","codex.remoteConversation.viewPreviousTurns":"Buksan sa web","codex.remoteConversation.viewPreviousTurns.buttonText":"Buksan","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Buksan sa web","codex.review.copyGitApplyCommand":"Kopyahin ang git apply command","codex.review.copyGitApplyCommand.toast":"Nakopya ang git apply command sa clipboard","codex.review.diffTooLarge.description":"Masyadong malalaki ang diffs para ipakita sa Pagsusuri.","codex.review.diffTooLarge.title":"Masyadong malaki ang diff para ipakita","codex.review.expandOrCollapseDiffButton.collapse":"I-collapse ang lahat ng diff","codex.review.expandOrCollapseDiffButton.expand":"I-expand ang lahat ng diff","codex.review.expandOrCollapseDiffMenu.collapse":"I-collapse ang lahat ng diff","codex.review.expandOrCollapseDiffMenu.expand":"I-expand ang lahat ng diff","codex.review.fileSearch.clear":"I-clear ang file filter","codex.review.fileSearch.empty":"Walang mga file ang tugma sa kasalukuyang filter.","codex.review.fileSearch.label":"I-filter ang mga file","codex.review.fileSearch.placeholder":"I-filter ang mga file...","codex.review.filesChanged":"{num, plural, =0 {Walang file ang nagbago} one {# file ang nagbago} other {# (na) file ang nagbago}}","codex.review.find.loadMore":"Mag-load ng higit pang magkakatugma","codex.review.fullReview.hideFileTree":"Itago ang file tree","codex.review.fullReview.showFileTree":"Ipakita ang file tree","codex.review.header.moreOptions":"Mga opsyon sa pagsusuri","codex.review.largeDiff.banner":"May na-detect na malaking diff — ipinapakita ang isang file bawat pagkakataon.","codex.review.loadFullFiles.disable":"Huwag i-load ang mga buong file","codex.review.loadFullFiles.enable":"I-load ang mga buong file","codex.review.noDiff":"Lalabas dito ang mga pagbabago sa file","codex.review.noDiff.gitInit.createRepository":"Gumawa ng git repository","codex.review.noDiff.gitInit.creating":"Ginagawa…","codex.review.noDiff.gitInit.error":"Nabigo ang git init: {message}","codex.review.noDiff.gitInit.success":"Nagawa na ang git repository","codex.review.noDiff.gitRepoRequired.description":"Subaybayan at i-undo ang mga pagbabago sa proyekto na ito","codex.review.noDiff.gitRepoRequired.title":"Gumawa ng git repository","codex.review.noDiff.orNoLongerAvailable":"o ang pinakabagong diff ay hindi na available","codex.review.noDiff.reverted":"Binawi ang huling turn","codex.review.noDiff.revertedOrCommitted":"Binawi o tinanggap ang huling turn","codex.review.refreshGitQueries":"I-refresh","codex.review.revert.file.error":"Hindi na-revert sa {path}","codex.review.revert.file.partialSuccess":"Bahagyang na-revert {path}","codex.review.revert.file.success":"Na-revert {path}","codex.review.revert.hunk.error":"Hindi na-revert ang hunk {hunkNumber} sa {path}","codex.review.revert.hunk.partialSuccess":"Bahagyang na-revert ang hunk {hunkNumber} sa {path}","codex.review.revert.hunk.success":"Na-revert ang hunk {hunkNumber} sa {path}","codex.review.revert.section.error":"Hindi na-revert ang seksyon","codex.review.revert.section.partialSuccess":"Bahagyang na-revert ang seksyon","codex.review.revert.section.success":"Na-revert ang seksyon","codex.review.revertDialog.cancel":"Kanselahin","codex.review.revertDialog.confirm":"Kumpirmahin","codex.review.revertDialog.message":"Inaalis ng aksyong ito ang lahat ng pagbabagong ito.","codex.review.revertDialog.skip":"Huwag muling itanong","codex.review.revertDialog.title":"Baliktarin ang mga pagbabago?","codex.review.richPreview.disable":"I-disable ang rich preview","codex.review.richPreview.enable":"I-enable ang rich preview","codex.review.source.cloud":"Mga pagbabago sa cloud","codex.review.source.local.all":"Lahat ng pagbabago ng branch","codex.review.source.local.lastTurn":"Mga pinakahuling pagbabago sa turn","codex.review.source.local.uncommitted":"Mga hindi pa na-commit na pagbabago","codex.review.source.worktree":"Mga hindi naka-commit na pagbabago sa worktree","codex.review.stageFilter.empty.staged.description":"Tanggapin ang mga edit para ihanda ang mga ito","codex.review.stageFilter.empty.staged.title":"Walang nakahandang mga pagbabago","codex.review.stageFilter.empty.unstaged.description":"Lalabas dito ang mga pagbabago sa code","codex.review.stageFilter.empty.unstaged.title":"Walang hindi nakahandang mga pagbabago","codex.review.stageFilter.staged":"Staged","codex.review.stageFilter.staged.count":"Staged · {count}","codex.review.stageFilter.unstaged":"Unstaged","codex.review.stageFilter.unstaged.count":"Unstaged · {count}","codex.review.switchToSplit":"Lumipat sa split diff","codex.review.switchToUnified":"Lumipat sa unified diff","codex.review.toggleDiffView":"I-toggle ang diff view","codex.review.wordDiffs.disable":"I-disable ang word diffs","codex.review.wordDiffs.enable":"I-enable ang word diffs","codex.review.wrap.disable":"I-disable ang word wrap","codex.review.wrap.enable":"I-enable ang word wrap","codex.section.patch.missing":"Hindi makagawa ng patch para sa seksyong ito.","codex.shell.collapse":"I-collapse ang shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kinopya ang shell contents","codex.shell.copy.copyTooltip":"Kopyahin ang shell contents","codex.shell.copyCommand":"Kopyahin ang command","codex.shell.copyOutput":"Copy output","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"I-expand ang shell","codex.shell.name":"Shell","codex.shell.noOutput":"Walang output","codex.signInFailed.message":"Nabigo ang pag-sign in: {rawMessage}","codex.stories.toast.show":"Ipakita ang Toast","codex.stories.tooltip.basic":"Ito ay isang tooltip","codex.stories.tooltip.hoverMe":"I-hover ako","codex.stories.tooltip.largerOffset":"Mas malaki ang offset ng tooltip na ito","codex.stories.tooltip.offsetButton":"Mas malaking offset","codex.stories.tooltip.shortcutButton":"May shortcut","codex.stories.tooltip.withShortcut":"I-toggle ang terminal","codex.taskRow.title":"Bagong thread","codex.taskRowLayout.confirm":"Kumpirmahin","codex.threadFindBar.chatFilter":"Maghanap sa mga chat","codex.threadFindBar.close":"Isara ang maghanap","codex.threadFindBar.diffFilter":"Maghanap ng mga diff","codex.threadFindBar.label":"Hanapin sa thread","codex.threadFindBar.nextResult":"Susunod na resulta","codex.threadFindBar.noResults":"0 resulta","codex.threadFindBar.placeholder":"Maghanap sa thread...","codex.threadFindBar.placeholder.extension":"Maghanap sa thread...","codex.threadFindBar.placeholder.review":"Maghanap ng diff...","codex.threadFindBar.placeholder.review.extension":"Maghanap ng diff...","codex.threadFindBar.previousResult":"Nakaraang resulta","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# file ang nagbago} other {# (na) file ang nagbago}}","codex.unifiedDiff.inlineLargeFile":"Masyadong malaki para i-render inline","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"I-undo","codex.unifiedDiff.revertPatchError":"Nabigong i-revert ang mga pagbabago","codex.unifiedDiff.revertPatchSuccess":"Na-revert ang mga pagbabago","codex.unifiedDiff.reviewChangesSuffix":"mga pagbabago","codex.unifiedDiff.reviewShort":"Suriin","codex.unifiedDiff.viewDiffTooltip":"Suriin","codex.upsellBanner.business.headline":"Para makakuha ng higit pang access ngayon, magpadala ng kahilingan sa iyong admin, o maghintay hanggang {resetDate}.","codex.upsellBanner.cbp.headline":"Para makakuha ng higit pang access ngayon, magpadala ng kahilingan sa iyong admin.","codex.upsellBanner.cta.addCredits":"Magdagdag ng mga credit","codex.upsellBanner.cta.upgradeAccount":"I-upgrade","codex.upsellBanner.cta.viewUsage":"Tingnan ang paggamit","codex.upsellBanner.free.trialHeadline":"Mare-reset ang iyong limit sa {resetDate}. Upang patuloy na gamitin ang Codex at magkaroon ng access sa GPT-5.3-Codex, simulan ang iyong libreng trial ng Plus ngayon.","codex.upsellBanner.freeOrGo.headline":"Mare-reset ang iyong rate limit sa {resetDate}. Upang patuloy na gamitin ang Codex, mag-upgrade sa Plus ngayon.","codex.upsellBanner.general.headline":"Mare-reset ang iyong rate limit sa {resetDate}.","codex.upsellBanner.general.title":"Wala ka nang mga mensahe sa Codex","codex.upsellBanner.go.trialHeadline":"Mare-reset ang iyong limit sa {resetDate}. Upang patuloy na gamitin ang Codex, simulan ang iyong libreng trial ng Plus ngayon.","codex.upsellBanner.plus.headline":"Mare-rest ang iyong rate limit sa {resetDate}. Upang patuloy na gamitin ang Codex, magdagdag ng mga credit o mag-upgrade sa Pro ngayon.","codex.upsellBanner.pro.headline":"Mare-reset ang iyong rate limit sa {resetDate}. Magdagdag ng mga credit upang patuloy na gamitin ang Codex ngayon.","codex.userMessage.autoResolveSync":"Awtomatikong resolbahin ang mga salungatan","codex.userMessage.commentCount":"{count, plural, one {# komento} other {# (na) komento}}","codex.userMessage.copiedAriaLabel":"Nakopya","codex.userMessage.copiedTooltip":"Nakopya","codex.userMessage.copyAriaLabel":"Kopyahin ang mensahe","codex.userMessage.copyTooltip":"Kopyahin","codex.userMessage.implementPlan":"Ipatupad ang plan","codex.userMessage.noContent":"(Walang content)","codex.userMessage.priorConversation":"Mga pagsangguni sa naunang pag-uusap","codex.userMessage.reviewMode":"Mode ng pagsusuri","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"para sa {query}","codex.webSearch.summary.verb.completed":"Naghanap sa web","codex.webSearch.summary.verb.inProgress":"Naghahanap sa web","codex.windowsInstallWslBanner.dismiss":"I-dismiss","codex.windowsInstallWslBanner.installWslCta":"Enable sandbox","codex.windowsInstallWslBanner.learnMore":"Matuto pa","codex.windowsSandboxBanner.content":"Gumagamit ang agent mode ng experimental sandbox sa Windows para limitahan ang filesystem at network access. {sandboxLink}","codex.windowsSandboxBanner.title":"I-enable ang sandbox para sa Agent mode","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"Windows Settings","codexUpgradeModal.body":"Ang aming pinakabagong frontier agentic coding model — mas matalino, mas mabilis, at mas may kakayahan sa karaniwang teknikal na gawain. {link}","codexUpgradeModal.close":"Isara","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Alamin ang higit pa","codexUpgradeModal.title":"Ipinakikilala ang GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Subukan ang GPT-5.3-Codex ngayon","codexUpgradeModal.useExistingModel":"Magpatuloy sa kasalukuyang modelo","commentAttachments.numComments":"{count, plural, one {# komento} other {# (na) komento}}","commentAttachments.removeAriaLabel":"Alisin ang mga kalakip sa komento","common.close":"Isara","composer.addContext.openFilePickerError":"Hindi mabuksan ang file picker","composer.addContextDropdown.ariaLabel":"Magdagdag ng mga file at higit pa","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Magdagdag ng mga file at higit pa","composer.addPhotosAndFiles":"Magdagdag ng mga larawan at file","composer.atMentionList.emptyQuery":"I-type para maghanap ng mga file","composer.atMentionList.loading":"Naghahanap ng mga file...","composer.atMentionList.noResults":"Walang mga resulta","composer.attemptsSelector.option":"{count, plural, one {# bersyon} other {# (na) bersyon}}","composer.attemptsSelector.tooltip":"Bilang ng mga magkakasabay na pagtatangka para gawin ng Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"Pinapatakbo ang {count, plural, one {# terminal} other {# na terminal}}","composer.backgroundTerminals.stop":"Ihinto","composer.cleanBackgroundTerminals.error":"Hindi mahinto ang mga background terminal.","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Lokal","composer.cloudFollowUp.whereRun":"Saan dapat gumana ang follow-up na ito?","composer.cloudTaskCreationError":"Error sa paglikha ng gawain sa cloud","composer.cloudTaskError":"Error sa paglikha ng gawain","composer.contextWindow.autoCompactionTooltipLine1":"Awtomatikong kino-compact ng Codex ang konteksto nito","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Context window:","composer.contextWindowUsageStatusFull":"{usage}% puno","composer.contextWindowUsageStatusLeft":"{usage}% ginagamit ({remaining}% natitira)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k (na) token ang ginamit","composer.customCliTooltip":"Gumagamit ng custom CLI executable","composer.dictation.aria":"Mag-dictate","composer.dictation.cancel.aria":"Ihinto ang dictation","composer.dictation.cancel.tooltip":"Ihinto ang dictation","composer.dictation.startError":"Hindi masimulan ang dictation","composer.dictation.submit.aria":"I-transcribe at ipadala","composer.dictation.submit.tooltip":"I-transcribe at ipadala","composer.dictation.tooltip":"I-hold para mag-dictate","composer.dictation.transcribeError":"Hindi ma-transcribe ang audio","composer.dictation.unsupported":"Hindi available ang dictation sa device na ito","composer.dropOverlay.holdShift":"I-hold ang {key} para i-drop","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Gumawa ng bago","composer.environmentSelector.error":"Error sa pag-load ng mga environment","composer.environmentSelector.goBack":"Bumalik sa composer","composer.environmentSelector.title":"Pumili ng environment","composer.environmentSelector.tooltip":"Pumili ng cloud environment","composer.feedbackSlashCommand.title":"Feedback","composer.filePicker.selectFile":"Pumili ng file","composer.filePicker.selectFiles":"Pumili ng mga file","composer.followerTooltip":"Upang magpatuloy, bumalik sa window kung saan nagsimula ang pag-uusap na ito.","composer.footer.branchSwitch.checkoutError":"Nabigong lumipat sa branch: {message}","composer.footer.branchSwitch.createAndCheckout":"Gumawa at mag-checkout ng bagong branch...","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"I-commit ang mga pagbabago upang gumawa at mag-checkout ng bagong branch","composer.footer.branchSwitch.createBranchError":"Hindi nakagawa ng branch: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Pangalan ng branch","composer.footer.branchSwitch.createDialog.branchExistsError":"Mayroon nang ganyang branch.","composer.footer.branchSwitch.createDialog.close":"Isara","composer.footer.branchSwitch.createDialog.createAndCheckout":"Gumawa at mag-checkout","composer.footer.branchSwitch.createDialog.placeholder":"bagong branch","composer.footer.branchSwitch.createDialog.title":"Gumawa at mag-checkout ng branch","composer.footer.branchSwitch.createDialog.trailingSlashError":"Hindi puwedeng magtapos ang pangalan ng branch sa “/”.","composer.footer.branchSwitch.tooltip":"Switch branch","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"I-commit ang mga pagbabago sa {fileCount, plural, one {# file} other {# (na) file}} para i-check out {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"mga pagbabago sa {fileCount, plural, one {# file} other {# (na) file}} na i-check out {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Kanselahin","composer.footer.branchSwitch.uncommittedDialog.commit":"I-commit at lumipat ng branch...","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Mao-overwrite ang mga pagbabagong ginawa mo sa mga sumusunod na file sa pag-checkout:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Paki-commit ang mga pagbabago bago magpatuloy","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"ang napiling branch","composer.footer.branchSwitch.uncommittedDialog.title":"I-commit ang mga pagbabago para lumipat ng branch","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Uncommited: {fileCount, plural, one {# file} other {# na file}}","composer.forkSlashCommand.description":"Gumawa ng hiwalay na kopya ng thread na ito sa local o bagong worktree","composer.forkSlashCommand.option.local.description":"Magpatuloy sa bagong local thread","composer.forkSlashCommand.option.local.title":"Gumawa ng hiwalay na kopya sa local","composer.forkSlashCommand.option.worktree.description":"Magpatuloy sa bagong worktree","composer.forkSlashCommand.option.worktree.title":"Gumawa ng hiwalay na kopya sa bagong worktree","composer.forkSlashCommand.title":"Gumawa ng hiwalay na kopya","composer.ideContextIndicator":"IDE context","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Isama ang context mula sa IDE tulad ng{br}katayuan ng seleksyon at mga bukas na file.","composer.ideContextIndicator.tooltipToggle":"para i-toggle","composer.ideContextSlashCommand.disableDescription":"I-off ang IDE context","composer.ideContextSlashCommand.enableDescription":"Isama ang kasalukuyang seleksyon, buksan ang mga file, at iba pang context mula sa iyong IDE","composer.ideContextSlashCommand.title":"IDE context","composer.imageInputsUnsupported":"Hindi sinusuportahan ng modelo na ito ang mga input ng larawan. Subukan ang ibang modelo.","composer.imageUploadFailed":"Nabigong i-upload ang larawan","composer.includeIdeContextDropdown":"Isama ang IDE context","composer.includeIdeContextDropdown.ariaLabel":"Isama ang IDE context","composer.localCwdDropdown.addWorkspaceRoot":"Magdagdag ng bagong proyekto","composer.localCwdDropdown.noActiveRoot":"Piliin ang proyekto mo","composer.localCwdDropdown.noResults":"Walang nahanap na mga folder","composer.localCwdDropdown.title":"Piliin ang proyekto mo","composer.localTaskError":"Error sa pagsimula ng pag-uusap","composer.mcpSlashCommand.description":"Ipakita ang MCP server status","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Hindi na-authenticate","composer.mcpStatus.authOauth":"Authenticated (OAuth)","composer.mcpStatus.authToken":"Authenticated (API key)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Isara","composer.mcpStatus.disabled":"Naka-disable","composer.mcpStatus.emptyLabel":"Mga server:","composer.mcpStatus.emptyValue":"Walang naka-configure na mga MCP server","composer.mcpStatus.enabled":"Naka-enable","composer.mcpStatus.errorLabel":"Status:","composer.mcpStatus.errorValue":"Hindi ma-load ang MCP status","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Agent","composer.mode.agentMode.auto.dropdownLabel":"Agent","composer.mode.agentMode.auto.optionLabel":"Agent","composer.mode.agentMode.changePermission":"Lumipat ng mode","composer.mode.agentMode.custom":"Custom","composer.mode.agentMode.custom.dropdownLabel":"Custom","composer.mode.agentMode.custom.option":"Custom (config.toml)","composer.mode.agentMode.custom.optionLabel":"Custom (config.toml)","composer.mode.agentMode.customInfo.cancel":"Kanselahin","composer.mode.agentMode.customInfo.cli":"Puwede mong i-adjust ang mga setting na iyon mula sa CLI o sa pamamagitan ng direktang pag-edit sa file.","composer.mode.agentMode.customInfo.confirm":"Gamitin ang custom mode","composer.mode.agentMode.customInfo.description":"Inilalapat ng custom mode ang mga patakaran ng pag-apruba at sandbox na tinukoy sa iyong <link>config.toml</link> file.","composer.mode.agentMode.customInfo.docs":"Alamin ang higit pa tungkol sa pag-configure sa mga patakaran sa  pag-apruba at sandbox sa<link>execution environment docs</link>.","composer.mode.agentMode.customInfo.refresh":"Anumang mga pagbabago ay nagkakaroon ng bisa sa susunod na gumana ang agent.","composer.mode.agentMode.customInfo.title":"Paano gumagana ang custom mode","composer.mode.agentMode.fullAccess":"Agent (full access)","composer.mode.agentMode.fullAccess.dropdownLabel":"Agent (full access)","composer.mode.agentMode.fullAccess.optionLabel":"Agent (full access)","composer.mode.agentMode.fullAccessConfirm.caution":"Mag-ingat kapag ine-enable ang full access. Lubha nitong pinatataas ang panganib ng pagkawala ng data, mga leak, o hindi inaasahang kilos.","composer.mode.agentMode.fullAccessConfirm.confirm":"Oo, magpatuloy pa rin","composer.mode.agentMode.fullAccessConfirm.description":"Kapag gumagana ang Codex na may full access, puwede nitong i-edit ang anumang file sa computer mo at mag-run ng mga command sa network, nang wala kang pag-apruba.","composer.mode.agentMode.fullAccessConfirm.goBack":"Kanselahin","composer.mode.agentMode.fullAccessConfirm.title":"Pahintulutan ang full access?","composer.mode.agentMode.readOnly":"Chat","composer.mode.agentMode.readOnly.dropdownLabel":"Chat","composer.mode.agentMode.readOnly.optionLabel":"Chat","composer.mode.agentMode.tooltip":"Lumipat ng mode","composer.mode.agentMode.tooltip.auto":"Magbasa at mag-edit ng mga file, at mag-run ng mga command.","composer.mode.agentMode.tooltip.custom":"Gamitin ang pinakabagong mga patakaran sa pag-apruba at sandbox na tinukoy sa config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Kayang mag-edit ng Codex ng mga file sa labas ng proyekto at mag-run ng mga command gamit ang network access. Mag-ingat kapag ginagamit.","composer.mode.agentMode.tooltip.readOnly":"Kinakailangan ang pag-apruba para mag-edit ng mga file at mag-run ng mga command.","composer.mode.cloud.tooltip":"Magtrabaho sa isang cloud environment","composer.mode.contactAdmin":"Para magkaroon ng higit pang access, kontakin ang iyong admin","composer.mode.local":"Lokal","composer.mode.local.learnMore":"Matuto pa","composer.mode.local.model.custom":"Custom","composer.mode.local.model.loadingModel":"Nilo-load ang modelo","composer.mode.local.model.selecrReasoningEffort":"Pumili ng pangangatwiran","composer.mode.local.model.selectModel":"Pumili ng modelo","composer.mode.local.model.tooltip":"Pumili ng model","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Mataas","composer.mode.local.reasoning.low.label":"Mababa","composer.mode.local.reasoning.medium.label":"Katamtaman","composer.mode.local.reasoning.minimal.label":"Maliit","composer.mode.local.reasoning.none.label":"Wala","composer.mode.local.reasoning.xhigh.label":"Sobrang Mataas","composer.mode.localRemoteWhereRun":"Piliin kung saan ira-run ang gawain","composer.mode.newTask.header":"Magpatuloy sa","composer.mode.rateLimit.day":"{days}a","composer.mode.rateLimit.heading":"Natitirang mga rate limit","composer.mode.rateLimit.hour":"{hours}o","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} limit:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {lingguhang limit} other {{weeks} linggong limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Linggu-linggo} other {{weeks} Linggo}}","composer.mode.remote.connectToCloud":"Ikonekta ang Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Mag-set up ng environment sa pamamagitan ng Codex web para i-enable ang pagpapadala ng mga gawain sa cloud","composer.mode.remote.selectEnvironment":"Pumili ng environment","composer.mode.remote.sendToCloud":"Ipadala sa cloud","composer.mode.remote.setupViaWeb":"Mag-setup ng environment sa pamamagitan ng Codex web","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"Cloud · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Magtrabaho sa cloud environment","composer.mode.segmentedToggle.local.tooltip":"Magtrabaho sa iyong lokal na proyekto","composer.mode.segmentedToggle.worktree.tooltip":"Magtrabaho sa parallel worktree","composer.mode.upgradeToPlus":"Mag-upgrade sa Plus","composer.mode.upgradeToPro":"Mag-upgrade sa Pro","composer.mode.workLocally":"Lokal na proyekto","composer.mode.workLocally.currentBranchFallback":"ang branch mo","composer.mode.workLocally.tooltip":"Magtrabaho sa {branchName}","composer.mode.worktree":"Bagong worktree","composer.mode.worktree.submoduleWarning":"Ang repo na ito ay may mga git submodule. Maaaring mabigo ang paggawa ng worktree","composer.mode.worktree.tooltip":"Gumawa ng kopya ng iyong lokal na proyekto para sabay na gawin","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Papangit ang performance kapag nagpalit ng mga modelo sa kalagitnaan ng pag-uusap.","composer.newChat.heading.browser":"Ano ang susunod nating iko-code?","composer.permissionsDropdown.agentMode.tooltip.custom":"Ginagamit ng Codex ang pahintulot na tinukoy sa config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"May full access ang Codex sa iyong computer (tumaas na panganib)","composer.permissionsDropdown.custom.label":"Custom (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Custom (config.toml)","composer.permissionsDropdown.default.label":"Mga default na pahintulot","composer.permissionsDropdown.default.optionLabel":"Mga default na pahintulot","composer.permissionsDropdown.default.tooltip":"Awtomatikong pinagagana ng Codex ang mga command sa isang sandbox","composer.permissionsDropdown.disabled.requirements":"Ang mga pahintulot ay ini-lock ng requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Na-disable ang full access ng requirements.toml","composer.permissionsDropdown.fullAccess.label":"Ganap na access","composer.permissionsDropdown.fullAccess.optionLabel":"Ganap na access","composer.permissionsDropdown.trigger.tooltip":"Palitan ang mga pahintulot","composer.personalitySlashCommand.description.friendly":"Mainit, nagtutulungan, at nakakatulong","composer.personalitySlashCommand.description.pragmatic":"Maikli, nakatuon sa gawain, at direkta","composer.personalitySlashCommand.label.friendly":"Friendly","composer.personalitySlashCommand.label.pragmatic":"Pragmatic","composer.personalitySlashCommand.notApplicableSuffix":"(Hindi nalalapat sa kasalukuyang modelo)","composer.personalitySlashCommand.title":"Personality","composer.placeholder.cloudFollowUp.directFollowUp":"Follow-up sa gawain sa cloud na ito","composer.placeholder.cloudFollowUp.local":"Lumikha ng bagong lokal na gawain na nauugnay sa gawain sa cloud na ito","composer.placeholder.cloudFollowUp.workingTree":"Gumawa ng bagong gawain sa cloud na isinasama ng iyong kasalukuyang code at sasangguni sa gawaing ito.","composer.placeholder.localFollowUp.cloud":"Mag-follow up sa isang bagong gawain sa cloud","composer.placeholder.localFollowUp.locally":"Humingi ng mga follow-up na pagbabago","composer.placeholder.newTask.cloud":"Hingin sa Codex na gumawa ng kahit ano sa cloud","composer.placeholder.newTask.doAnything":"Hingin sa Codex na gumawa ng kahit ano","composer.placeholder.newTask.locally":"Tanungin ang Codex ng kahit ano, @ para magdagdag ng mga file , / para sa mga command","composer.planModeDropdown":"Plan mode","composer.planModeDropdown.ariaLabel":"Plan mode","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Gumawa ng plan sa Codex","composer.planModeIndicator.tooltipToggle":"para i-toggle","composer.planSlashCommand.disableDescription":"I-off ang plan mode","composer.planSlashCommand.enableDescription":"I-on ang plan mode","composer.planSlashCommand.title":"Plan mode","composer.priorContext.label":"Nakaraang konteksto","composer.priorContext.removeAriaLabel":"Alisin ang nakaraang konteksto","composer.queuedMessage.delete":"I-delete ang naka-queue na mensahe","composer.queuedMessage.edit":"I-edit ang mensahe","composer.queuedMessage.more":"Mga aksyon sa naka-queue na mensahe","composer.queuedMessage.sendNow":"Steer","composer.queuedMessage.sendNowTooltip":"Ipadala ngayon nang hindi ginagambala ang trabaho","composer.queuedMessage.turnOff":"I-off ang pag-queue","composer.reasoningEffort.local.reasoning.tooltip":"Pumili ng pagsisikap sa pangangatwiran","composer.remote.branchStartingPoint":"Anong branch ang dapat pagsimulan ng gawain na ito?","composer.remote.branchesSectionHeading":"Mga branch","composer.remote.currentEditsSuffix.followUp":"Lumikha ng bagong gawain na sumasangguni sa gawain sa cloud na ito.","composer.remote.currentEditsSuffix.useLocal":"na may mga lokal na pagbabago sa code","composer.remote.directFollowUp":"Huwag gamitin ang mga lokal na pagbabago","composer.remote.errorLoadingBranches":"Nagka-error sa pag-load ng mga branch","composer.remote.fromBranch":"Mula {branch}","composer.remote.fromCurrentBranch":"Mula {branch} (kasalukuyan)","composer.remote.loadingMoreBranches":"Naglo-load...","composer.remote.localFileStateHeading":"Kalagayan ng lokal na file","composer.remote.localWorkingTree":"Gamitin ang mga lokal na pagbabago","composer.remote.startingPoint":"Anong code ang dapat pagsimulan ng gawain na ito?","composer.reviewMode.branches.error":"Hindi ma-load ang mga branch","composer.reviewMode.branches.retry":"Subukan ulit","composer.reviewMode.gitRoot.error":"Hindi nahanap ang git root","composer.reviewMode.option.baseBranch.simple":"Suriin kontra sa base branch","composer.reviewMode.option.unstaged.simple":"Suriin ang mga uncommitted na pagbabago","composer.reviewMode.quickReviewError":"Nabigong simulan ang pagsusuri ng code.","composer.reviewMode.title":"Pagsusuri sa code","composer.sandboxButton.unlock.disabled.tooltip":"Na-disable ang full access ng requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Maaaring gumamit ang Codex ng experimental sandbox sa Windows para limitahan ang filesystem at network access. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"I-enable ang Windows sandbox?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Gamitin ang read-only","composer.searchEnvironments":"Maghanap sa mga environment","composer.skillMentionList.app":"App","composer.skillMentionList.appLogoAlt":"{name} logo","composer.skillMentionList.loading":"Nilo-load ang mga skill...","composer.skillMentionList.noResults":"Walang nahanap na mga skill","composer.slashCommands.cloudEnvironment.title":"Cloud environment","composer.slashCommands.dialogLabel":"Slash command menu","composer.slashCommands.dialogTitle":"Slash commands","composer.slashCommands.disabledTooltip":"Magsimula ng bagong pag-uusap para gamitin ang mga slash command","composer.slashCommands.inputPlaceholder":"Maghanap","composer.slashCommands.noResults":"Walang mga command","composer.slashCommands.skillsGroup":"Skills","composer.slashCommands.tooltip":"Mag-browse ng mga slash command","composer.status.close":"Isara","composer.statusPlain.alertLabel":"Alerto:","composer.statusPlain.alertValue":"{remaining}% ang nalalabi sa {window}","composer.statusPlain.contextLabel":"Konteksto:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} ang ginamit / {total})","composer.statusPlain.contextValueRemaining":"{remaining}% ang nalalabi","composer.statusPlain.heading":"Status","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limit:","composer.statusPlain.rateLimitDays":"{count}d limit","composer.statusPlain.rateLimitFallbackLabel":"Rate limit:","composer.statusPlain.rateLimitHours":"{count}h limit","composer.statusPlain.rateLimitLabelBase":"Rate limit","composer.statusPlain.rateLimitMinutes":"{count}m limit","composer.statusPlain.rateLimitPercent":"{remaining}% ang nalalabi","composer.statusPlain.rateLimitReset":"magre-reset sa {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"hindi available ang oras ng reset","composer.statusPlain.rateLimitUnavailable":"Hindi available","composer.statusPlain.sessionCopiedAriaLabel":"Nakopya ang session id","composer.statusPlain.sessionCopiedTooltip":"Nakopya ang ID","composer.statusPlain.sessionCopyAriaLabel":"Kopyahin ang session id","composer.statusPlain.sessionCopyTooltip":"Kopyahin ang ID","composer.statusPlain.sessionLabel":"Session:","composer.statusSlashCommand.description":"Ipakita ang thread id, konteksto ng paggamit, at mga rate limit","composer.statusSlashCommand.title":"Status","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Hindi maipadala ang mensahe","composer.submit.emptyMessage":"Maglagay ng mensahe para magsimula","composer.submit.imageInputsUnsupported":"Alisin ang mga larawan o lumipat ng mga modelo para ipadala ang mensahe na ito.","composer.submit.loadingLocalConfig":"Naglo-load...","composer.submit.missingCloudConfig":"Dapat kang pumili ng cloud environment","composer.submit.missingCloudTurn":"Hindi ma-follow up ang gawaing ito","composer.submit.noWorkspace":"Magdagdag ng proyekto para gamitin ang Codex","composer.submit.waitForImageUploads":"Ina-upload ang mga larawan...","composer.submitButtonTooltip.send":"Ipadala","composer.submitButtonTooltip.stop":"Ihinto","composer.worktreeEnvironment.create":"Gumawa ng lokal na environment","composer.worktreeEnvironment.default":"Default na environment","composer.worktreeEnvironment.error":"Error sa pag-load ng mga environment","composer.worktreeEnvironment.loading":"Nilo-load ang mga environment...","composer.worktreeEnvironment.title":"Lokal na environment","composer.worktreeEnvironment.tooltip":"Pumili ng lokal na environment","composer.worktreeSetupFailed":"Hindi natapos ang pag-setup ng worktree. Tingnan ang .codex/environments para sa isang setup script.","compoundButton.secondaryAction":"Sekundaryang aksyon","copyButton.copied":"Nakopya","copyButton.copiedAriaLabel":"Nakopya","copyButton.copy":"Kopyahin","copyButton.copyAriaLabel":"Kopyahin","copyButton.copyCode":"Kopyahin ang code","diff.actionButton.revertFile":"I-revert ang file","diff.actionButton.revertHunk":"I-revert","diff.actionButton.revertSection":"I-revert lahat","diff.actionButton.revertSectionLabel":"I-revert lahat","diff.actionButton.stageFile":"I-stage ang file","diff.actionButton.stageHunk":"I-stage","diff.actionButton.stageSection":"I-stage lahat","diff.actionButton.stageSectionLabel":"I-stage lahat","diff.actionButton.unstageFile":"I-unstage ang file","diff.actionButton.unstageHunk":"I-unstage","diff.actionButton.unstageSection":"I-unstage lahat","diff.actionButton.unstageSectionLabel":"I-unstage lahat","diff.fileHeader.toggle":"Toggle file diff","electron.onboarding.login.apikey.cancel":"Kanselahin","electron.onboarding.login.apikey.continue":"Magpatuloy","electron.onboarding.login.apikey.label":"OpenAI API key","electron.onboarding.login.apikey.open":"Ilagay ang API key","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Kanselahin ang pag-sign-in","electron.onboarding.login.chatgpt.continue":"Magpatuloy sa ChatGPT","electron.onboarding.login.devbox":"Ikonekta sa isang remote SSH","electron.onboarding.login.error":"Nabigo ang pag-sign in: {rawMessage}","electron.onboarding.login.snake.start":"Play Snake","electron.onboarding.login.sshConfig.cancel":"Kanselahin","electron.onboarding.login.sshConfig.continue":"Magpatuloy","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Hostname","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Ang pinakamabuting paraan para gumawa gamit ang mga ahente","electron.onboarding.login.title":"Welcome sa Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Magpatuloy","electron.onboarding.welcome.doubleLimits.description":"Upang ipagdiwang ang Codex app launch, mayroon kang 2x rate limit hanggang Abril 2.","electron.onboarding.welcome.freego.description":"Kasama ang Codex sa iyong plan nang libre hanggang sa ika-2 ng Marso – magsimula tayong bumuo nang magkasama.","electron.onboarding.welcome.new.title.anon":"Welcome!","electron.onboarding.workspace.continue":"Magpatuloy","electron.onboarding.workspace.empty":"Magdagdag ng proyekto para magpatuloy.","electron.onboarding.workspace.listLabel":"Mga available na proyekto","electron.onboarding.workspace.loading":"Nilo-load ang mga proyekto...","electron.onboarding.workspace.openFolder":"Magdagdag ng proyekto","electron.onboarding.workspace.selectAll":"Piliin ang lahat","electron.onboarding.workspace.skip":"Laktawan","electron.onboarding.workspace.skip.error":"Hindi makagawa ng bagong proyekto: {message}","electron.onboarding.workspace.skip.error.unknown":"Hindi alam na error","electron.onboarding.workspace.skipping":"Gumagawa ng bagong proyekto...","electron.onboarding.workspace.subtitle":"Magagawa ng Codex na mag-edit ng mga file at magpagana ng mga command sa mga piling folder.","electron.onboarding.workspace.title":"Pumili ng proyekto","errorPage.list.checkSettings":"Subukang i-update ang iyong mga IDE setting","errorPage.list.configToml":"Tingnan ang iyong config.toml para sa mga invalid na setting","errorPage.list.downloadExtension":"Subukang mag-download ng ibang bersyon ng extension","errorPage.list.runInWsl":"Tingnan ang iyong mga setting para i-disable ang pag-run sa WSL kung may nakikita kang mga isyu ng compatibility","execApprovalRequest.menu.runAlways":"Oo, at huwag na muling tatanungin ang session na ito","execApprovalRequest.menu.runAlwaysWithAmendment":"Oo, at huwag nang muling humingi ng mga command na nagsisimula sa {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Oo, at huwag nang muling humingi ng mga command na nagsisimula sa","execApprovalRequest.menu.runOnce":"Oo","execApprovalRequest.prompt":"Gusto mo bang paganahin ang command na ito?","execApprovalRequest.reject":"Hindi","execFooter.exitCode":"Lumabas sa code {code}","execFooter.exitCode.unknown":"hindi alam","execFooter.success":"Tagumpay","feedback.dialog.category.badResult":"Masamang resulta","feedback.dialog.category.bug":"Bug","feedback.dialog.category.goodResult":"Magandang resulta","feedback.dialog.category.other":"Iba pa","feedback.dialog.category.safetyCheck":"Pagsusuri sa kaligtasan","feedback.dialog.descriptionPlaceholder":"Ilarawan ang isyu dito","feedback.dialog.dismiss":"I-dismiss","feedback.dialog.includeLogsLabel":"Isama ang kasalukuyang mga Codex session log","feedback.dialog.submit":"Isumite","feedback.dialog.submitError":"Hindi namin maisumite ang iyong feedback. Pakisubukan ulit sa ilang sandali.","feedback.dialog.title":"Feedback","feedback.dialog.uploadedMessage.existingIssue":"kasalukuyang bukas na isyu","feedback.dialog.uploadedMessage.openIssue":"buksan ang isang isyu sa GitHub","feedback.dialog.uploadedMessage.withThread":"Na-upload na ang feedback. Kung magpatuloy ang problema, mangyaring {openIssueLink} o banggitin ang thread id sa isng {existingIssueLink}:","feedback.dialog.uploadedTitle":"Na-upload na ang feedback","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Tanggalin ang {filename}","header.back":"Bumalik","header.recentChats":"Mga gawain","header.recentTasks.seeAll":"Tingnan ang lahat ({total})","home.header.getPlus":"Kunin ang Plus","home.hero.letsBuild":"Gumawa tayo","homePage.mainContent":"Pangunahing content","imageAttachment.defaultName":"larawan","imageAttachment.preview.close":"Isara ang preview ng larawan","imageAttachment.removeAriaLabel":"Tanggalin ang {filename}","implementPlanRequest.option.implement":"Oo, ipatupad ang plan na ito","implementPlanRequest.prompt":"Ipatupad ang plan na ito?","inbox.archived.deleteError":"Hindi ma-delete ang naka-archive na run","inbox.archived.deleteRun":"I-delete ang naka-archive na run","inbox.archived.deleteSuccess":"Na-delete ang naka-archive na thread. Tingnan sa <settingsLink>Mga maka-archive na thread</settingsLink>.","inbox.archived.inlineLabel.auto":"Awtomatikong na-archive ang thread na ito. <learnMoreLink>Alamin ang higit pa</learnMoreLink>","inbox.archived.inlineLabel.manual":"Na-archive ang thread na ito.","inbox.archived.noMessageFound":"Walang natagpuan na mensahe","inbox.automations.createError":"Hindi magawa ang automation","inbox.automations.deleteConfirm.cancel":"Kanselahin","inbox.automations.deleteConfirm.confirm":"I-delete ang automation","inbox.automations.deleteConfirm.description":"Permanente nitong ide-delete ang automation at ititigil ang anumang pagpapagana sa hinaharap.","inbox.automations.deleteConfirm.title":"I-delete ang {name}?","inbox.automations.deleteError":"Hindi ma-delete ang automation","inbox.automations.editTooltip":"I-edit ang automation","inbox.automations.inProgress":"Kasalukuyang ginagawa","inbox.automations.new":"Bago","inbox.automations.newToolbar":"Bagong automation","inbox.automations.pauseTooltip":"Pansamantalang ihinto ang automation","inbox.automations.resumeTooltip":"Ipagpatuloy ang automation","inbox.automations.startingNow":"Nagsisimula na ngayon","inbox.automations.startsIn":"Magsisimula sa {startTime}","inbox.automations.status.active":"Aktibo","inbox.automations.status.paused":"Pansamantalang nakahinto","inbox.automations.status.runs":"{count} (na) paggana","inbox.automations.status.started":"Nagsimula {date}","inbox.automations.updateError":"Hindi ma-update ang automation","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Lahat","inbox.filter.ariaLabel":"I-filter ang mga inbox item","inbox.filter.unread":"Hindi pa nababasa","inbox.list.archived":"Na-archive","inbox.list.inProgress":"Kasalukuyang ginagawa","inbox.list.recent":"Nakumpleto","inbox.list.upNext":"Naka-iskedyul","inbox.mode.automations":"Mga automation","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Walang ibinigay na paglalarawan","inbox.openThread":"Buksan ang thread","inbox.rightPanel.emptySubtitle":"I-automate ang trabaho sa pamamagitan ng pag-set up ng mga naka-iskedyul na gawain","inbox.rightPanel.emptySubtitle.learnMore":"I-automate ang trabaho sa pamamagitan ng pag-set up ng mga naka-iskedyul na thread. <link>Alamin ang higit pa</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktibong automation} other {# aktibong mga automation}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Walang hindi pa nababasang mga automation","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# hindi pa nababasang automation} other {# hindi pa nababasang mga automation}}","inbox.rightPanel.emptyTitle":"Walang piniling item","inbox.rightPanel.noThread":"Walang thread para sa item na ito","inbox.rightPanel.quickStart.header":"Magsimula gamit ang isang template","inbox.untitled":"Walang pamagat na inbox item","loadingPage.documentationLink":"dokumentasyon","loadingPage.errorDescription":"Nag-crash ang Codex na may sumusunod na error:","loadingPage.errorDescription.documentation":"I-click ang reload para i-restart ang Codex extension, o bisitahin ang aming {documentationLink} para sa karagdagang tulong.","loadingPage.errorSignal":"Mga bagay na susubukan:","loadingPage.errorTitle":"Nagkaroon ng error","loadingPage.openConfigToml":"Open Config.toml","loadingPage.reload":"I-reload","localConversation.contextCompacted":"Awtomatikong na-compact ang konteksto","localConversation.contextCompacting":"Awtomatikong kino-compact ang konteksto","localConversation.finalAssistantMessageDivider":"Panghuling mensahe","localConversation.forkedFromConversation":"Ginawan ng hiwalay na kopya mula sa {threadTitle}","localConversation.merge.autoResolve.failed":"Nabigong humiling ng auto resolve: {error}","localConversation.merge.autoResolve.sent":"Naipadala na ang kahilingan para sa auto resolve","localConversation.merge.autoResolveMerge.missingConversation":"Hindi makapag-auto resolve nang walang aktibong pag-uusap.","localConversation.merge.autoResolveMerge.request":"Pinagsama ng auto resolve ang mga salungatan","localConversation.modelChanged":"Nagbago ang modelo mula sa {fromModel} tungo sa {toModel}.","localConversation.modelChanged.warning.line1":"Papangit ang performance kapag nagpalit ng mga modelo sa kalagitnaan ng pag-uusap.","localConversation.modelChanged.warning.line2":"Maaaring awtomatikong ma-compact ang konteksto.","localConversation.modelRerouted":"Na-route ang iyong kahilingan sa {toModel}.","localConversation.modelRerouted.warning.line1":"Heads up, ang iyong kahilingan ay na-route para bawasan ang panganib ng cyber-abuse.","localConversation.modelRerouted.warning.line2":"Iniisip mong pagkakamali ito? Humiling ng pagsusuri sa <link>chatgpt.com/cyber</link> o i-report sa pamamagitan ng /feedback","localConversation.moveThread.createBranch.label":"Gumawa ng branch","localConversation.moveToLocal.disabled.branchCheckedOut":"Na-check out na ang branch na ito sa ibang worktree","localConversation.moveToLocal.disabled.loading":"Naglo-load...","localConversation.moveToLocal.disabled.missingSourceHead":"Hindi maresolba ang worktree HEAD commit","localConversation.moveToLocal.disabled.noWorkspace":"Walang nahanap na lokal na workspace para sa worktree na ito","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"Hindi mailipat sa ngayon. Tingnan ang katayuan ng lokal na workspace at subukan ulit.","localConversation.moveToLocal.error.rollbackIssues":"Mga rollback isyu: {issues}","localConversation.moveToLocal.label":"Ilipat sa lokal","localConversation.moveToLocal.loading.subtitle":"Inililipat ang iyong mga pagbabago sa worktree sa lokal...","localConversation.moveToLocal.loading.title":"Inililipat sa lokal","localConversation.moveToLocal.modal.continue":"Magpatuloy","localConversation.moveToLocal.modal.destinationLabel":"Ilipat sa","localConversation.moveToLocal.modal.retry":"Subukan ulit","localConversation.moveToLocal.modal.subtitle":"Malilipat ang worktree branch na ito ang mga uncommited na pagbabago pabalik sa iyong lokal na checkout.","localConversation.moveToLocal.modal.title":"Ilipat sa lokal","localConversation.moveToWorktree.error.branchRequired":"Kailangan ang pangalan ng worktree branch","localConversation.moveToWorktree.error.createWorktree":"Nabigong gumawa ng worktree: {message}","localConversation.moveToWorktree.error.move":"Nabigong lumipat sa worktree: {message}","localConversation.moveToWorktree.error.prepareBranch":"Nabigong maghanda ng worktree branch “{branch}”: {message}","localConversation.moveToWorktree.error.rollbackIssues":"Mga rollback isyu: {issues}","localConversation.moveToWorktree.error.unknown":"Nabigong lumipat sa worktree. Pakisubukan ulit.","localConversation.moveToWorktree.label":"Lumipat sa worktree","localConversation.moveToWorktree.loading.subtitle":"Sine-set up ang iyong worktree at inililipat ang mga lokal na pagbabago...","localConversation.moveToWorktree.loading.title":"Lumilipat sa worktree","localConversation.moveToWorktree.modal.back":"Bumalik","localConversation.moveToWorktree.modal.branchAlreadyExists":"Mayroon nang ganyang branch","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Mayroon nang ganyang branch.","localConversation.moveToWorktree.modal.branchesError":"Hindi ma-load ang mga branch","localConversation.moveToWorktree.modal.branchesLoading":"Nilo-load ang mga branch...","localConversation.moveToWorktree.modal.branchesRetry":"Subukan ulit","localConversation.moveToWorktree.modal.continue":"Magpatuloy","localConversation.moveToWorktree.modal.defaultBranchError":"Ang worktree branch ay dapat iba sa default branch.","localConversation.moveToWorktree.modal.localBranchLabel":"Local branch","localConversation.moveToWorktree.modal.localBranchPlaceholder":"Pumili ng local checkout branch","localConversation.moveToWorktree.modal.noTargetBranch":"Walang available na iba pang mga local branch","localConversation.moveToWorktree.modal.retry":"Subukan ulit","localConversation.moveToWorktree.modal.subtitle":"Malilipat ang branch na ito at lahat ng uncommitted na pagbabago sa isang worktree. Dapat mong i-check out ang ibang branch sa lokal sa lugar nito.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Gagawa ang Codex ng bagong worktree para sa thread na ito.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"Pumili ng pangalan ng worktree branch. Gagamitin ito ng Codex sa halip na ang default branch.","localConversation.moveToWorktree.modal.subtitle.loading":"Naghahanap ng kasalukuyang worktree…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"Ililipat ang branch na ito sa isang worktree. Mananatiling naka-check out ang iyong kasalukuyang local branch.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Muling gagamitin ng Codex ang kasalukuyang worktree para sa thread na ito.","localConversation.moveToWorktree.modal.title":"Lumipat sa worktree","localConversation.moveToWorktree.modal.trailingSlashError":"Hindi puwedeng magtapos ang pangalan ng branch sa “/”.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Pangalan ng worktree branch","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Worktree branch","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"bagong branch","localConversation.personalityChanged":"Lumipat sa {personality} na personalidad","localConversation.planSummary.collapse":"I-collapse ang buod ng plan","localConversation.planSummary.collapseTooltip":"I-collapse","localConversation.planSummary.download":"I-download ang plan","localConversation.planSummary.expand":"I-expand ang buod ng plan","localConversation.planSummary.expandTooltip":"I-expand","localConversation.planSummary.openInNewWindow":"Buksan","localConversation.planSummary.openInNewWindow.tooltip":"Buksan sa bagong window","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plano sa pagsusulat","localConversation.planSummary.viewPlan":"I-expand ang plan","localConversation.previousMessagesSummary":"{count, plural, one {# naunang mensahe} other {# naunang mga mensahe}}","localConversation.remoteTaskCreated":"Ginawa ang {taskLink} sa Codex Cloud","localConversation.remoteTaskCreated.task":"gawain","localConversation.scrollToBottomButton":"Mag-scroll sa baba","localConversation.sync.buttonLabel":"Hand off sa local","localConversation.sync.buttonLabel.tooltip":"Ipinapasa ang mga pagbabago sa pagitan ng worktree na ito at ng iyong lokal na checkout.","localConversation.sync.modal.loading.title":"Mga pagbabago sa handing off","localConversation.sync.modal.noChanges":"Walang mga pagbabago","localConversation.syncSetup.branchAriaLabel":"Pangalan ng branch","localConversation.syncSetup.branchName":"Pangalan ng branch","localConversation.syncSetup.branchPlaceholder.existing":"Pumili ng kasalukuyang branch","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Nilo-load ng mga branch...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Na-check out na","localConversation.syncSetup.checkoutClean":"Kasalukuyang nasa {branchName}","localConversation.syncSetup.checkoutDirty":"Kasalukuyang nasa {branchName} na may mga uncommitted na pagbabago","localConversation.syncSetup.checkoutError":"Nabigong i-check out ang branch: {message}","localConversation.syncSetup.checkoutLabel":"I-check out na sa local ngayon","localConversation.syncSetup.checkoutOnLocal":"Hand off sa local","localConversation.syncSetup.checkoutPending":"Chine-checkout ang local status...","localConversation.syncSetup.checkoutUnavailable":"Hindi available ang local workspace","localConversation.syncSetup.checkoutUnknown":"Hindi available ang local branch","localConversation.syncSetup.continue":"Magpatuloy","localConversation.syncSetup.createBranchError":"Nabigong itakda ang handoff branch: {message}","localConversation.syncSetup.error":"Nagkaroon ng problema: {message}","localConversation.syncSetup.error.workingTreeMissing":"Hindi makakuha ng snapshot ng worktree. Pakisubukan ulit ang pag-hand off.","localConversation.syncSetup.mode.ariaLabel":"Piliin ang branch mode","localConversation.syncSetup.mode.existing":"Kasalukuyang branch","localConversation.syncSetup.mode.new":"New branch","localConversation.syncSetup.noBranches":"Walang natagpuang mga branch","localConversation.syncSetup.overwriteError":"Nagawa na ang branch pero hindi ito ganap na na-hand off. I-hand off nang manu-mano bago i-check out sa local.","localConversation.syncSetup.setPrefix":"I-set ang prefix","localConversation.syncSetup.subtitle":"Subukan at i-edit ang mga pagbabago sa worktree sa local. <a>Alamin ang higit pa</a>","localConversation.syncSetup.success.checkedOut":"Ginawa ang na-check out ang branch sa local","localConversation.syncSetup.success.notCheckedOut":"Nagawa na ang branch","localConversation.syncSetup.title":"I-hand off sa isang local branch","localConversation.syncWorktreeError.branchAriaLabel":"Pangalan ng branch","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Pumili ng branch kung saan iha-hand off, at saka muling subukan ang pag-load ng mga pagbabago.","localConversation.syncWorktreeError.branchSetup.title":"I-update ang branch","localConversation.syncWorktreeError.branchUpdate.cta":"I-update at subukan ulit","localConversation.syncWorktreeError.branchUpdate.error":"Nabigong i-update ang branch: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Nagkaroon ng problema: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Hindi naka-check out ang branch sa anumang worktree.","localConversation.syncWorktreeV2.applyUncommitted":"Ilapat","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Kailangan mong i-check out ang branch sa local para i-apply ang mga uncommitted na pagbabago","localConversation.syncWorktreeV2.branches.empty":"Walang natagpuang mga branch","localConversation.syncWorktreeV2.branches.loading":"Nilo-load ng mga branch...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Change handoff branch","localConversation.syncWorktreeV2.changeBranch.error":"Nabigong palitan ang handoff branch: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Nabigo ang pag-apply","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Nabigo ang i-overwrite ang worktree","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"nabigo ang i-overwrite ang local","localConversation.syncWorktreeV2.commandError.back":"Bumalik","localConversation.syncWorktreeV2.commandError.body":"Nabigo ang isang git command habang hina-hand off. Suriin ang output at subukan ulit.","localConversation.syncWorktreeV2.commandError.retry":"Subukan ulit","localConversation.syncWorktreeV2.description":"Nagbabago ang hand off sa pagitan ng local at ng worktree na ito <a>Alamin ang higit pa</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Pumili ng direksyon ng handoff","localConversation.syncWorktreeV2.error.generic":"Nagkaroon ng problema habang nagha-hand off. Subukan ulit.","localConversation.syncWorktreeV2.localBranchLabel":"Lokal","localConversation.syncWorktreeV2.noChanges":"Kinakalkula ang mga pagbabago","localConversation.syncWorktreeV2.noChanges.summary":"Walang mga pagbabago","localConversation.syncWorktreeV2.overwrite.local":"Overwrite local","localConversation.syncWorktreeV2.overwrite.worktree":"I-overwrite ang worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Hindi ma-apply ang mga pagbabago","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Hindi ma-overwrite ang mga pagbabago sa local","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Hindi ma-overwrite ang mga pagbabago sa worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Na-apply","localConversation.syncWorktreeV2.partial.back":"Bumalik","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Resolbahin ang mga salungatan at subukan ulit.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Mga salungatan","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# file} other {# (na) file}}","localConversation.syncWorktreeV2.partial.retry":"Subukan ulit","localConversation.syncWorktreeV2.partial.skippedLabel":"Nilaktawan","localConversation.syncWorktreeV2.stateFailed.generic":"Nagkaroon ng problema habang kinukuha ang mga iha-hand off na pagbabago sa worktree. Pakisubukan ulit.","localConversation.syncWorktreeV2.stateFailed.title":"Nabigong i-load ang mga pagbabago sa worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Nabigong i-load ang mga pagbabago sa worktree.","localConversation.syncWorktreeV2.statusError.retry":"Subukan ulit","localConversation.syncWorktreeV2.statusError.title":"Hindi ma-load ang mga pagbabago ng local branch","localConversation.syncWorktreeV2.statusError.unknown":"Hindi available sa ngayon ang branch status. Subukan ulit.","localConversation.syncWorktreeV2.success.apply":"Tagumpay na na-apply ang mga pagbabago","localConversation.syncWorktreeV2.success.overwrite":"Handoff successful","localConversation.syncWorktreeV2.title":"Mga pagbabago sa hand off","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Asking {count, plural, one {tanong} other {(na) tanong}}","localConversation.userInputRequest.noAnswer":"Walang ibinigay na sagot","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Tinanong","localConversation.userInputRequest.summary.count":"{count, plural, one {# tanong} other {# (na) tanong}}","localConversation.workedFor":"Nagtrabaho nang {time}","localConversation.worktreeBranchSetup.action.create":"Gumawa","localConversation.worktreeBranchSetup.branchAriaLabel":"Pangalan ng branch","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Gumawa ng bagong branch","localConversation.worktreeBranchSetup.checkoutDisabled":"Na-check out na ang branch na ito sa {location}","localConversation.worktreeBranchSetup.checkoutError":"Nabigong i-check out ang branch: {message}","localConversation.worktreeBranchSetup.createBranchError":"Nabigong itakda ang branch: {message}","localConversation.worktreeBranchSetup.error":"Nagkaroon ng problema: {message}","localConversation.worktreeBranchSetup.subtitle":"Gumawa ng branch para i-commit ang mga pagbabago, i-push, at gumawa ng PR mula sa worktree na ito. <a>Alamin ang higit pa</a>","localConversation.worktreeBranchSetup.title":"Magtrabaho dito","localConversationPage.addWorktreeToSidebar.tooltip":"I-save bilang proyekto para makapagsimula ka ng mga bagong thread mula sa worktree na ito","localConversationPage.addWorktreeToSidebarError":"Nabigong idagdag ang proyekto","localConversationPage.commitAndCreatePrModal.errorTitle":"Nabigo ang pag-commit at paggawa ng PR","localConversationPage.commitAndCreatePrModal.successTitle":"Na-commit at nagawa ang PR","localConversationPage.commitAndPushModal.errorTitle":"Nabigo ang pag-commit at pag-push","localConversationPage.commitAndPushModal.successTitle":"Mga na-commit at na-push na pagbabago","localConversationPage.commitCreatePr.open":"Buksan ang pull request","localConversationPage.commitCreatePr.successTitle":"Ginawa ang PR kasama ang iyong pinakahuling mga pagbabago","localConversationPage.createBranchButtonLabel":"Branch dito","localConversationPage.createPrModal.baseBranch":"Base","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Gumawa ng PR","localConversationPage.createPrModal.createDescription":"Magbukas ng pull request para sa iyong pinakahuling mga pagbabago.","localConversationPage.createPrModal.errorTitle":"Nabigo ang pull request","localConversationPage.createPrModal.headBranch":"Head","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Buksan ang PR","localConversationPage.createPrModal.successTitle":"Nagawa na ang pull request","localConversationPage.createPrModal.title":"Gumawa ng pull request","localConversationPage.createPrModal.viewDescription":"Mayroon nang pull request para sa branch na ito.","localConversationPage.createPrModal.viewTitle":"Handa na ang pull request","localConversationPage.createPullRequestAuthGh":"I-authenticate ang GitHub CLI: run `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Hindi available ang impormasyon ng branch","localConversationPage.createPullRequestButtonLabel":"Gumawa ng PR","localConversationPage.createPullRequestButtonLabel.loading":"Gumagawa ng PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Hindi available ang impormasyon ng default na branch","localConversationPage.createPullRequestError":"Nabigong gawin ang pull request","localConversationPage.createPullRequestExistingPullRequest":"Mayroon nang pull request para sa branch na ito","localConversationPage.createPullRequestGhStatusMissing":"Nilo-load ang GitHub CLI status…","localConversationPage.createPullRequestInstallGh":"I-install ang GitHub CLI (gh) para gumawa ng mga PR","localConversationPage.createPullRequestNoRepo":"Walang nahanap na git repository","localConversationPage.createPullRequestPushStatusMissing":"Nilo-load ang push status...","localConversationPage.createPullRequestSetUpstream":"I-push ang branch na ito bago gumawa ng PR","localConversationPage.createPullRequestSuccessToast":"Nagawa na ang pull request","localConversationPage.createPullRequestSwitchBranch":"Suriin ang isang feature branch bago gumawa ng PR","localConversationPage.error.render":"Error sa pag-render ng lokal na pag-uusap","localConversationPage.error.toast":"Hindi nahanap ang pag-uusap","localConversationPage.forcePushError":"Nabigong i-force push","localConversationPage.generatePullRequestMessageError":"Nabigong buuin ang pamagat at katawan ng pull request","localConversationPage.generatePullRequestMessageFailed":"Nabigong buuin ang pamagat at katawan ng pull request.","localConversationPage.gitActionResult.branch":"Branch","localConversationPage.gitActionResult.cancel":"Kanselahin","localConversationPage.gitActionResult.close":"Isara","localConversationPage.gitActionResult.tryAgain":"Subukan ulit","localConversationPage.gitActions":"Mga aksyon ng Git","localConversationPage.newChat":"Bagong chat","localConversationPage.openInTarget":"Buksan sa","localConversationPage.openPrimaryTarget":"Buksan","localConversationPage.planItemsCompleted":"{completedItems} sa {totalItems, plural, one {# gawain ang nakumpleto} other {# (na) gawain ang nakumpleto}}","localConversationPage.pushAuthError":"Nabigo ang push: kailangan ang authentication","localConversationPage.pushBranchMissing":"Hindi available ang impormasyon ng branch","localConversationPage.pushButtonLabel":"Push","localConversationPage.pushButtonLabel.loading":"Pinu-push...","localConversationPage.pushError":"Hindi na-push ang mga pagbabago","localConversationPage.pushModal.branchLabel":"Branch","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Kanselahin","localConversationPage.pushModal.confirm":"Push","localConversationPage.pushModal.description":"I-push ang iyong pinakahuling mga commit sa remote repository.","localConversationPage.pushModal.errorTitle":"Push failed","localConversationPage.pushModal.forcePush":"Force push","localConversationPage.pushModal.successTitle":"Kumpleto na ang push","localConversationPage.pushModal.title":"Mga pagbabago sa push","localConversationPage.pushModal.tryAgain":"Subukan ulit","localConversationPage.pushNoUpstream":"Mag-set up ng upstream bago i-push ang branch na ito","localConversationPage.pushNoUpstreamError":"Nabigo ang push: walang naka-configure na upstream","localConversationPage.pushNothingToPush":"Walang mga bagong commit na ipu-push","localConversationPage.pushRemoteChangedError":"Nabigo ang push: may mga bagong commit ang remote","localConversationPage.pushRemoteRejectedError":"Tinanggihan ng remote ang push","localConversationPage.pushStatusMissing":"Nilo-load ang push status...","localConversationPage.pushSuccessToast":"Mga na-push na pagbabago","localConversationPage.viewPullRequestButtonLabel":"Tingnan ang PR","localConversationPage.viewPullRequestButtonLabel.loading":"Nilo-load ang pull request…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# file} other {# (na) file}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# listahan} other {# na listahan}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# paghahanap} other {# (na) paghahanap}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Nage-explore","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Nag-explore","localConversationTurn.exploration.accordion.header.complete.withCounts":"Nag-explore {counts}","localConversationTurnStory.showContent":"Ipakita ang content","localConversationTurnStory.streamContent":"I-stream ang content","localConversationTurnStory.toggleReasoning":"Ipakita ang pangangatwiran","localTaskRow.archiveError":"Nabigong i-archive pag-uusap","localTaskRow.resumeError":"Nabigong ipagpatuloy ang gawain","mermaidDiagram.ariaLabel":"Mermaid diagram","mermaidDiagram.copySource":"Kopyahin ang mermaid","mermaidDiagram.originalCode":"Mermaid source code","notifications.permissions.description":"Ipinapakita ang mga alerto kapag kailangan ang mga pahintulot sa notification","notifications.permissions.label":"I-enable ang mga notification sa pahintulot","notifications.turnMode.always":"Palagi","notifications.turnMode.description":"Itakda kung kailan ka aalertuhin ng Codex na ito ay tapos na","notifications.turnMode.label":"I-on ang mga notification sa pagkumpleto","notifications.turnMode.off":"Hindi kailanman","notifications.turnMode.unfocused":"Kapag hindi naka-focus lamang","patchApprovalRequest.approve":"Aprubahan","patchApprovalRequest.menu.allowAlways":"Oo, at huwag na muling tatanungin ang session na ito","patchApprovalRequest.menu.allowForSession":"Oo, at huwag na muling tatanungin ang session na ito","patchApprovalRequest.menu.allowOnce":"Oo","patchApprovalRequest.prompt":"Gusto mo bang gawin ang mga pagbabago na ito?","patchApprovalRequest.reject":"Hindi","patchApprovalRequest.waitingForApproval":"Naghihintay ng pag-apruba para mag-edit ng mga file","pendingRequest.approvalExec.collapse":"I-collapse","pendingRequest.approvalExec.expand":"I-expand","pendingRequestStory.toastAnswer":"Sagot: {answer}","pendingRequestStory.toastApprovalTitle":"Sagot sa pag-apruba","pendingRequestStory.toastFollowupPrompt":"Prompt: {prompt}","pendingRequestStory.toastFollowupTitle":"Naipadala na ang follow-up","pendingRequestStory.toastNoAnswers":"Walang ibinigay na mga sagot","pendingRequestStory.toastQuestion":"Tanong: {question}","pendingRequestStory.toastUnknownDecision":"Hindi alam","pendingRequestStory.toastUserInputTitle":"Naisumite na ang mga sagot","quickAction.request.codeReview.branches.new":"Suriin ang mga pagbabago sa {from} kumpara sa {to}","quickAction.request.codeReview.uncommitted.new":"Suriin ang aking mga uncommitted na pagbabago","reasoningItem.thinking":"Nag-iisip","reasoningItem.thought":"Inisip","reasoningItem.thoughtWithElapsed":"Inisip nang {elapsed}","recentConversations.title":"Mga Kamakailang Pag-uusap","recentTasks.worktreeInitFailedTitle":"Nabigo ang worktree init","recentTasks.worktreeSettingUpTitle":"Sine-set up ang worktree","requestInputPanel.continue":"Magpatuloy","requestInputPanel.dismiss":"I-dismiss","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Mag-type dito","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Hindi, at sabihin sa Codex kung ano ang gagawin na naiiba","requestInputPanel.selectedBadge":"Napili","requestInputPanel.skip":"Laktawan","requestInputPanel.submit":"Isumite","review.commit.ariaLabel.includeUnstaged":"Isama ang unstaged","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Kino-commit...","review.commit.disabled.loadingDiff":"Nilo-load ang diff…","review.commit.disabled.missingContext":"Magdagdag ng ilang context para makabuo ng commit message","review.commit.disabled.noChanges":"Walang mga pagbabago na iko-commit","review.commit.disabled.noSelection":"Piliin ang mga pagbabago na iko-commit","review.commit.disabled.unavailable":"Hindi available sa ngayon ang commit","review.commit.error":"Hindi na-commit ang mga pagbabago","review.commit.form.changesToBeCommitted":"Mga pagbabago","review.commit.form.commitTo":"Branch","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Magpatuloy","review.commit.form.title":"I-commit ang mga pagbabagong ginawa mo","review.commit.generate.emptyResponse":"Hindi makabuo ng commit message.","review.commit.generate.failed":"Nabigong makabuo ng commit message: {error}","review.commit.generate.missingPrompt":"Magdagdag ng ilang context para makabuo ng commit message.","review.commit.includeUnstaged":"Isama ang unstaged","review.commit.loading.description":"Maghintay lang, maaaring tumagal ito nang ilang sandali...","review.commit.loading.step.commit.done":"Mga na-commit na pagbabago","review.commit.loading.step.commit.pending":"Ikino-commit ang mga pagbabago","review.commit.loading.step.createPr.done":"Gumawa ng pull request","review.commit.loading.step.createPr.pending":"Gumagawa ng pull request","review.commit.loading.step.push.done":"Na-push sa branch {branch}","review.commit.loading.step.push.pending":"Pinu-push sa branch {branch}","review.commit.loading.title.commit":"Ikino-commit ang mga pagbabago","review.commit.loading.title.createPr":"Gumagawa ng PR","review.commit.loading.title.push":"Pinu-push ang mga pagbabago","review.commit.messageLabel":"Mensahe ng commit","review.commit.messagePlaceholder":"Iwanang blangko para awtomatikong bumuo ng commit message","review.commit.nextSteps":"Susunod na mga hakbang","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"I-commit at gumawa ng PR","review.commit.nextSteps.commitAndPush":"I-commit at i-push","review.commit.nextSteps.prRequiresGh":"Kinakailangan ang GitHub CLI: {command}","review.commit.rows.changes":"Mga pagbabago","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# (na) commit}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# (na) commit}} at {stats}","review.commit.rows.fileCount":"{count, plural, one {# file} other {# (na) file}}","review.commit.state.error.body":"Nagkaroon ng problema habang kino-commit. Tingnan ang iyong git status at subukan ulit.","review.commit.state.error.title":"Nabigo ang pag-commit","review.commit.state.success.title":"Na-commit na ang mga pagbabago","review.commit.untracked.loadingStats":"Nilo-load ang untracked diff stats...","reviewFindingAttachments.count":"{count, plural, one {# finding} other {# (na) finding}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"I-edit ang iyong config para i-customize ang agent behavior","settings.agent.configuration.configToml.docs":"Mga dokumento","settings.agent.configuration.configToml.restartNote":"I-restart ang Codex matapos i-edit para i-apply ang mga pagbabago","settings.agent.configuration.subtitle":"Ina-apply ang mga setting na ito saan man ginagamit ang Codex","settings.automations.banner.danger":"Gumagana ang mga automation sa iyong mga default sandbox setting, na kasalukuyang naka-set sa Full Access. Ang pagpapagana ng mga background automation na may Full Access ay may dalang tumaas na panganib, dahil maaaring baguhin ng Codex ang mga file, magpagana ng mga command, at i-access ang network nang hindi nagpapaalam. Pag-isipang i-update ang mga sandbox setting sa workspace write, at gamitin ang <rulesDocsLink>mga panuntunan</rulesDocsLink> para piliing tukuyin kung aling mga command ang maaaring paganahin nang may full access.","settings.automations.banner.defaultHowTo.default":"Gumagana ang mga automation sa iyong mga default sandbox setting. Papalya ang mga tool call kung kailangan nilang baguhin ang mga file sa labas ng workspace, i-access ang network, o gamitin ang mga app sa iyong computer. Puwede mong piliing gumana ang mga allowlist command sa labas ng sandbox gamit ang <rulesDocsLink>mga panuntunan</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Gumagana ang mga automation sa iyong mga default sandbox setting, na naka-set sa read-only. Papalya ang mga tool call kung kailangan nilang baguhin ang mga file, i-access ang network, o gamitin ang mga app sa iyong computer. Pag-isipang i-udpate ang mga sandbox setting sa workspace write.","settings.automations.cancel":"Kanselahin","settings.automations.create":"Gumawa","settings.automations.cwdEmpty":"Walang available na mga folder ng proyekto","settings.automations.cwdLabel":"Mga proyekto","settings.automations.cwdPlaceholder":"Pumili ng folder","settings.automations.cwdSubtitle":"Kung gusto mong gumana ang isang automation sa isang partikular na branch, puwede mong tukuyin ito sa iyong prompt.","settings.automations.delete":"I-delete","settings.automations.dialog.editTitle":"I-edit ang automation","settings.automations.dialog.newTitle":"Bagong automation","settings.automations.dialog.subtitle":"I-automate ang mga nauulit na gawain sa background. Nagdaragdag ang Codex ng mga finding sa inbox, o awtomatikong ina-archive ang gawain kung walang iuulat. <learnMoreLink>Alamin ang higit pa</learnMoreLink>","settings.automations.dialog.title":"Gumawa ng automation","settings.automations.executionCopy.git":"Gumagana ang mga git project sa mga dedicated background worktree.","settings.automations.executionCopy.local":"Direktang gumagana ang mga automation sa mga napiling directory ng proyekto.","settings.automations.executionCopy.nonGit":"Gumagana sa lokal ang mga non-version-controlled project dahil kailangan ng mga worktree ng Git.","settings.automations.executionEnvironment.ariaLabel":"Execution environment","settings.automations.executionEnvironment.label":"Execution environment","settings.automations.executionEnvironment.local":"Lokal","settings.automations.executionEnvironment.local.help":"Direktang gumagana sa mga napiling directory ng proyekto nang hindi gumagawa ng worktree.","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.executionEnvironment.worktree.help":"Gumagana sa isang dedicated Git worktree na ginawa mula sa napiling proyekto, kaya hindi nagagalaw ang iyong kasalukuyang checkout.","settings.automations.loading":"Naglo-load...","settings.automations.nameLabel":"Pangalan","settings.automations.namePlaceholder":"Tingnan kung may mga sentry issue","settings.automations.pause":"Pansamantalang Ihinto","settings.automations.promptLabel":"Prompt","settings.automations.promptPlaceholder":"maghanap ng mga crash sa $Sentry","settings.automations.resume":"Ipagpatuloy","settings.automations.rruleSummaryFallback":"Custom na iskedyul","settings.automations.runNow":"Subukan","settings.automations.save":"I-save","settings.automations.scheduleBadge.dayCount":"{count}a","settings.automations.scheduleBadge.interval":"{count}o","settings.automations.scheduleBadge.weekdays":"Weekdays","settings.automations.scheduleBadge.weekends":"Weekends","settings.automations.scheduleHeader":"Iskedyul","settings.automations.scheduleHours":"(na) oras","settings.automations.scheduleLabel":"Paganahi kada","settings.automations.scheduleMode.daily":"Araw-araw","settings.automations.scheduleMode.interval":"Interval","settings.automations.scheduleModeLabel":"Uri ng iskedyul","settings.automations.scheduleSummary.daily":"Araw-araw sa {time}","settings.automations.scheduleSummary.interval":"Kada {count}o","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# araw} other {# na mga araw}}","settings.automations.scheduleSummary.intervalDays":"{interval} sa {days}","settings.automations.scheduleSummary.intervalHourly":"Oras-oras","settings.automations.scheduleSummary.singleDay":"{day} sa {time}","settings.automations.scheduleSummary.weekdays":"Weekdays sa {time}","settings.automations.scheduleSummary.weekdaysLabel":"weekdays","settings.automations.scheduleSummary.weekends":"Weekends sa {time}","settings.automations.scheduleSummary.weekendsLabel":"weekends","settings.automations.scheduleSummary.weekly":"{days} sa {time}","settings.automations.scheduleWeekdays":"Naka-on","settings.automations.weekdayState.excluded":"Hindi isinama","settings.automations.weekdayState.included":"Isinama","settings.conversationDetail.steps":"Mga hakbang","settings.conversationDetail.steps.description":"Itago ang mga command at output","settings.conversationDetail.stepsWithCommands":"Mga hakbang na may mga code command","settings.conversationDetail.stepsWithCommands.description":"Ipakita ang mga command, i-collapse ang output","settings.conversationDetail.stepsWithOutput":"Mga hakbang na may code output","settings.conversationDetail.stepsWithOutput.description":"Ipakita ang mga command at i-expand ang output","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Walang naka-archive na mga chat.","settings.dataControls.archivedChats.error":"Hindi ma-load ang naka-archive na mga chat.","settings.dataControls.archivedChats.loading":"Nilo-load ang naka-archive na mga chat...","settings.dataControls.archivedChats.unarchive":"I-unarchive","settings.dataControls.archivedChats.unarchiveError":"Nabigong i-unarchive ang chat","settings.dataControls.archivedChats.unarchiveSuccess":"Na-unarchive na thread. <viewNowLink>Tingnan ngayon</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Na-unarchive ang thread.","settings.dataControls.archivedChats.untitled":"Walang pamagat na chat","settings.dataControls.archivedChats.viewNow":"Tingnan ngayon","settings.editRow.headerPlaceholder":"Key","settings.editRow.removeEntry":"Alisin ang entry","settings.editRow.valuePlaceholder":"Halaga","settings.general.appearance":"Anyo","settings.general.appearance.codeFont":"Code font","settings.general.appearance.codeFont.description":"I-adjust ang font at size na ginagamit para sa code sa mga chat at diff","settings.general.appearance.codeFontFamily":"Code font family","settings.general.appearance.codeFontSize":"Font size ng code","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Pagamitin ang windows ng solidong background imbes na system translucency","settings.general.appearance.opaqueWindows.label":"Gumamit ng opaque window background","settings.general.appearance.sansFontFamily":"Sans font family","settings.general.appearance.sansFontFamily.description":"I-adjust ang font na ginamit para sa Codex UI","settings.general.appearance.sansFontSize":"Sans font size","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Ipakita ang full-window celebration effects habang gumagana ang GPT-5.3-Codex-Spark sa first turn","settings.general.appearance.sparkCelebrationEffects.label":"Spark celebration effects","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Madilim","settings.general.appearance.theme.description":"Gamitin ang maliwanag, madilim, o itugma ang iyong system","settings.general.appearance.theme.light":"Magaan","settings.general.appearance.theme.system":"System","settings.general.appearance.usePointerCursors.description":"Gawin ang cursor na isang pointer kapag nagho-hover sa mga interactive element","settings.general.appearance.usePointerCursors.label":"Gamitin ang mga pointer cursor","settings.general.enterBehavior.description":"Kapag naka-enable, kailangan ng mga multiline prompt ang {modifierSymbol} + enter para ipadala.","settings.general.enterBehavior.label":"Kailangan ang {modifierSymbol} + enter para magpadala ng mga mahabang prompt","settings.general.experimentalFeatures":"Mga experimental feature (Beta)","settings.general.experimentalFeatures.empty":"Walang available na mga beta experimental feature.","settings.general.experimentalFeatures.loading":"Nilo-load experimental feature...","settings.general.experimentalFeatures.restartNote":"I-restart ang Codex para i-apply ang mga pagbabago sa experimental feature","settings.general.experimentalFeatures.toggle":"I-toggle ang {featureName}","settings.general.followUpQueueMode.description":"Mga queue follow-up habang pinagagana o ini-steer ng Codex ang kasalukuyang paggana. Pindutin ang {invertFollowUpShortcutLabel} para gawin ang kabaligtaran para sa isang mensahe.","settings.general.followUpQueueMode.interrupt":"Steer","settings.general.followUpQueueMode.label":"Follow-up behavior","settings.general.followUpQueueMode.queue":"Queue","settings.general.notifications":"Mga Notification","settings.general.power.preventSleepWhileRunning.description":"Panatilihing bukas ang computer mo habang may pinatatakbong thread ang Codex.","settings.general.power.preventSleepWhileRunning.label":"Pigilan ang pagtulog habang tumatakbo","settings.git.branchPrefix.ariaLabel":"Branch prefix","settings.git.branchPrefix.description":"Prefix na ginagamit kapag gumagawa ng mga bagong branch sa Codex","settings.git.branchPrefix.label":"Branch prefix","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Nabigong i-save ang branch prefix","settings.git.branchPrefix.save.success":"Na-save na ang branch prefix","settings.git.commitInstructions.ariaLabel":"Mga instruksyon para sa commit","settings.git.commitInstructions.description":"Naidagdag sa mga prompt na pag-generate ng commit message","settings.git.commitInstructions.label":"Mga instruksyon para sa commit","settings.git.commitInstructions.placeholder":"Magdagdag ng patnubay sa commit message...","settings.git.commitInstructions.save":"I-save","settings.git.commitInstructions.save.error":"Nabigong i-save ang mga instruksyon para sa commit","settings.git.commitInstructions.save.success":"Na-save na mga instruksyon para sa commit","settings.git.forcePush.ariaLabel":"Palaging i-force push","settings.git.forcePush.description":"Gamitin ang --force-with-lease kapag nagpu-push mula sa Codex","settings.git.forcePush.label":"Palaging i-force push","settings.git.forcePush.save.disabled":"Naka-disable ang palaging i-force push","settings.git.forcePush.save.enabled":"Naka-enable ang palaging i-force push","settings.git.forcePush.save.error":"Nabigong i-save ang setting ng force push","settings.git.prInstructions.ariaLabel":"Mga instruksyon para sa pull request","settings.git.prInstructions.description":"Nailakip sa mga katawan ng pull request na ginawa ng Codex","settings.git.prInstructions.label":"Mga instruksyon para sa pull request","settings.git.prInstructions.placeholder":"Magdagdag ng patnubay sa pull request...","settings.git.prInstructions.save":"I-save","settings.git.prInstructions.save.error":"Nabigong i-save ang mga instruksyon para sa pull request","settings.git.prInstructions.save.success":"Na-save ang mga instruksyon para sa pull request","settings.ide.defaultOpenTarget.description":"Kung saan ang mga file at folder ay nagbubukas nang default","settings.ide.defaultOpenTarget.label":"Default na destinasyon kapag magbubukas","settings.ide.defaultOpenTarget.placeholder":"Walang nahanap na mga target","settings.ide.language.auto":"Awtomatikong I-detect","settings.ide.language.autoOption":"Awtomatikong I-detect","settings.ide.language.description":"Wika para sa UI ng app","settings.ide.language.label":"Wika","settings.ide.language.search":"Maghanap ng mga wika","settings.layout.actionButton":"Simulan muli ang extension","settings.layout.actionTitle":"Mga setting na may aksyon","settings.layout.fullWidthTitle":"Mga Setting (Full width)","settings.layout.title":"Mga setting","settings.localEnvironments.actions.add":"Magdagdag ng aksyon","settings.localEnvironments.actions.add.description":"Gumawa ng bagong command para paganahin mula sa toolbar.","settings.localEnvironments.actions.add.save":"I-save","settings.localEnvironments.actions.empty":"Magdagdag ng aksyon para paganahin ang mga command mula sa lokal na toobar.","settings.localEnvironments.actions.icon.debug":"I-debug","settings.localEnvironments.actions.icon.run":"Paganahin","settings.localEnvironments.actions.icon.test":"Subukan","settings.localEnvironments.actions.icon.tool":"Tool","settings.localEnvironments.actions.item.button.delete":"I-delete","settings.localEnvironments.actions.item.command":"Script ng aksyon","settings.localEnvironments.actions.item.name":"Pangalan","settings.localEnvironments.actions.item.platforms":"Mga platform","settings.localEnvironments.actions.item.platforms.help":"Paganahin lang sa isang partikular na OS.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Pagpili ng platform","settings.localEnvironments.actions.item.platforms.specific":"Partikular sa platform","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"I-delete","settings.localEnvironments.actions.title":"Mga Aksyon","settings.localEnvironments.breadcrumb.back":"Bumalik","settings.localEnvironments.breadcrumb.edit":"i-edit","settings.localEnvironments.breadcrumb.root":"Mga environment","settings.localEnvironments.environment.actions.description":"Puwedeng gumana ang mga aksyon na ito sa anumang command at ipapakita sa header.","settings.localEnvironments.environment.actionsLabel":"Mga Aksyon","settings.localEnvironments.environment.create":"Gumawa ng lokal na environment","settings.localEnvironments.environment.defaultName":"lokal","settings.localEnvironments.environment.edit":"I-edit ang lokal na environment","settings.localEnvironments.environment.empty":"Wala pang local environment ang na-configure para sa workspace na ito.","settings.localEnvironments.environment.name":"Pangalan","settings.localEnvironments.environment.setup":"Setup script","settings.localEnvironments.environment.setup.description":"Gagana ang script na ito sa paggawa ng worktree.","settings.localEnvironments.environment.setup.hint":"Gumagana sa project root","settings.localEnvironments.environment.setup.platformOverrides":"Mga platform override","settings.localEnvironments.environment.setup.platformOverrides.add":"Magdagdag ng {platform} setup script","settings.localEnvironments.environment.setup.platformOverrides.description":"Ino-override ang default script para sa partikular na mga OS.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Alisin","settings.localEnvironments.environment.setup.script":"Script","settings.localEnvironments.environment.title":"Mga detalye ng environment","settings.localEnvironments.file.missing":"I-save para gawin ang file na ito sa unang pagkakataon.","settings.localEnvironments.file.parseError":"Hindi ma-parse ang kasalukuyang file. Mao-overwrite ito kapag na-save. ({error})","settings.localEnvironments.file.path":"File: {path}","settings.localEnvironments.file.readError":"Nabigong i-load ang lokal na environment data. ({error})","settings.localEnvironments.file.title":"Lokal na environment file","settings.localEnvironments.loading.body":"Kinukuya ang configuration ng proyekto mo.","settings.localEnvironments.loading.title":"Nilo-load ang mga lokal na environment","settings.localEnvironments.preview.devOnly":"(DEV lamang)","settings.localEnvironments.preview.save":"I-save","settings.localEnvironments.preview.saveError":"Hindi ma-save ang file. ({error})","settings.localEnvironments.preview.title":"I-preview","settings.localEnvironments.save.disabled.name":"Magdagdag ng pangalan ng environment para i-save.","settings.localEnvironments.save.disabled.noChanges":"Walang mga pagbabago na ise-save.","settings.localEnvironments.save.disabled.saving":"Sine-save...","settings.localEnvironments.save.success":"Naka-save na ang lokal na environment","settings.localEnvironments.unavailable.body":"Hindi namin ma-load ang mga setting ng local environment para sa proyekto na ito.","settings.localEnvironments.unavailable.title":"Hindi available ang mga lokal na environment","settings.localEnvironments.workspace.add":"Magdagdag ng proyekto","settings.localEnvironments.workspace.title":"Proyekto","settings.localEnvironments.workspaceSelect.addLabel":"Magdagdag ng environment","settings.localEnvironments.workspaceSelect.description":"Sinasabi ng mga local environment sa Codex kung paano i-set up ang mga worktree para sa isang proyekto. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Wala pang mga proyekto. Magdagdag ng isa para i-configure ang mga local environment.","settings.localEnvironments.workspaceSelect.errorLabel":"Kailangan ng environment ng atensyon","settings.localEnvironments.workspaceSelect.learnMore":"Alamin ang higit pa","settings.localEnvironments.workspaceSelect.listLabel":"Mga available na proyekto","settings.localEnvironments.workspaceSelect.loading":"Nilo-load ang mga proyekto.","settings.localEnvironments.workspaceSelect.loadingLabel":"Nilo-load ang environment","settings.localEnvironments.workspaceSelect.title":"Pumili ng proyekto","settings.localEnvironments.workspaceSelect.viewAction":"Tingnan","settings.mcp.addServer":"Magdagdag ng server","settings.mcp.app.configure":"I-configure","settings.mcp.app.connect":"Ikonekta","settings.mcp.apps.refresh":"I-refresh","settings.mcp.detail.addArgument":"Magdagdag ng argumento","settings.mcp.detail.addEnvVar":"Magdagdag ng variable ng environment","settings.mcp.detail.addEnvVarPassthrough":"Magdagdag ng variable","settings.mcp.detail.args":"Mga argumento","settings.mcp.detail.back":"Bumalik","settings.mcp.detail.command":"Command na i-launch","settings.mcp.detail.cwd":"Working directory","settings.mcp.detail.docs":"Buksan ang dokumentasyon ng MCP","settings.mcp.detail.docs.link":"Mga dokumento","settings.mcp.detail.envVarPassthrough":"Passthrough ng variable ng environment","settings.mcp.detail.envVars":"Mga variable ng environment","settings.mcp.detail.http.addEnvHeader":"Magdagdag ng variable","settings.mcp.detail.http.addHeader":"Magdagdag ng header","settings.mcp.detail.http.bearerToken":"Bearer token env var","settings.mcp.detail.http.envHeaders":"Mga header mula sa mga variable ng environment","settings.mcp.detail.http.headers":"Mga header","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Pangalan","settings.mcp.detail.save":"I-save","settings.mcp.detail.switchTransportNotice":"Kung gusto mong lumipat ng MCP server type, i-uninstall muna.","settings.mcp.detail.titleExisting":"I-update ang {name} MCP","settings.mcp.detail.titleNew":"Kumonekta sa isang custom MCP","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"I-uninstall","settings.mcp.empty":"Walang nakakonektang mga custom MCP server","settings.mcp.myServers":"Mga custom server","settings.mcp.partnerServer.description.figma":"Mag-generate ng mas mahusay na code sa pamamagitan ng pagdadala sa buong Figma context","settings.mcp.partnerServer.description.github":"Isama sa mga GitHub API para i-automate ang mga workflow at mag-extract ng data","settings.mcp.partnerServer.description.linear":"Isama sa pagsubaybay ng at pamamahala ng proyekto ng Linear","settings.mcp.partnerServer.description.notion":"Magbasa ng mga dokumento, mag-update ng mga page, i-manage ang mga gawain","settings.mcp.partnerServer.description.playwright":"Isama ang browser automation para ipatupad ang disenyo at subukan ang UI.","settings.mcp.partnerServer.install":"I-install","settings.mcp.partnerServer.installAndAuthenticate":"I-install at i-authenticate","settings.mcp.partnerServer.logoAlt":"{label} logo","settings.mcp.partnerServer.manage":"I-manage","settings.mcp.partnerServer.vendor":"ni {vendor}","settings.mcp.recommendedServers":"Mga inirerekomendang server","settings.mcp.restartApp":"I-restart","settings.mcp.restartExtension":"Simulan muli ang extension","settings.mcp.server.enable":"I-enable","settings.mcp.server.login":"Mag-authenticate","settings.mcp.server.settings":"Mga setting","settings.multiselect.createOption":'Gumawa ng "{value}"',"settings.multiselect.removeOption":"Alisin","settings.nav.account":"Account","settings.nav.agent":"Configuration","settings.nav.ariaLabel":"Mga setting","settings.nav.back":"Bumalik sa app","settings.nav.data-controls":"Na-archive na mga thread","settings.nav.environments":"Mga Cloud Environment","settings.nav.externalTooltip":"[alpha] Magbubukas sa browser","settings.nav.general-settings":"Pangkalahatan","settings.nav.git-settings":"Git","settings.nav.local-environments":"Mga environment","settings.nav.mcp-settings":"Mga MCP server","settings.nav.notImplemented":"[alpha] Hindi available sa Alpha","settings.nav.personalization":"Personalization","settings.nav.skills-settings":"Skills","settings.nav.usage-analytics":"Usage at Analytics","settings.nav.worktrees":"Mga worktree","settings.openSourceLicenses.back":"Bumalik","settings.openSourceLicenses.loading":"Naglo-load...","settings.openSourceLicenses.missing":"Walang nahanap na mga abiso ng third party.","settings.openSourceLicenses.notSupported":"Hindi available sa host na ito.","settings.openSourceLicenses.rowDescription":"Mga abiso ng third party para sa mga bundled dependency","settings.openSourceLicenses.rowLabel":"Mga open source license","settings.openSourceLicenses.subtitle":"Mga abiso ng third party para sa mga dependency kasama sa app na ito","settings.openSourceLicenses.title":"Mga open source license","settings.openSourceLicenses.view":"Tingnan","settings.personalization.agents.description":"I-edit ang mga instruksyon na nagbabagay ng Codex sa iyo. {learnMore}","settings.personalization.agents.learnMore":"Alamin ang higit pa","settings.personalization.agents.loadError":"Hindi ma-load ang agents.md.","settings.personalization.agents.loading":"Nilo-load ang agents.md...","settings.personalization.agents.placeholder":"Igdagdag ang iyong mga custom na instruksyon...","settings.personalization.agents.retry":"Subukan ulit","settings.personalization.agents.save":"I-save","settings.personalization.agents.save.error":"Hindi ma-save ang agents.md","settings.personalization.agents.save.success":"Na-save ang agents.md","settings.personalization.agents.title":"Mga custom na instruksyon","settings.personalization.personality.description":"Pumili ng default tone para sa mga sagot ng Codex","settings.personalization.personality.label":"Personality","settings.sample.contentBody":"Gamitin ang layout na ito para buuin ang iyong mga settings panel na may consistent spacing.","settings.sample.contentTitle":"Sample content block","settings.section.account":"Account","settings.section.agent":"Configuration","settings.section.data-controls":"Na-archive na mga thread","settings.section.environments":"Mga Cloud Environment","settings.section.external":"Buksan ang iyong browser habang nasa Alpha","settings.section.general-settings":"Pangkalahatan","settings.section.git-settings":"Git","settings.section.local-environments":"Mga environment","settings.section.mcp-settings":"Mga MCP server","settings.section.mcp-settings.docs":"Mga dokumento","settings.section.mcp-settings.subtitle":"Magkonekta ng mga external tool at data source.","settings.section.personalization":"Personalization","settings.section.skills-settings":"Skills","settings.section.unavailable":"Hindi pa available sa Alpha","settings.section.usage-analytics":"Usage at Analytics","settings.section.worktrees":"Mga worktree","settings.threadDetail.description":"Piliin kung gaano karaming command output ang ipapakita sa mga thread","settings.threadDetail.label":"Thread detail","settings.worktrees.conversation.untitled":"Walang pamagat na pag-uusap","settings.worktrees.delete.error":"Nabigong i-delete ang worktree","settings.worktrees.empty.body":"Lalabas dito ang mga worktree na ginawa ng Codex.","settings.worktrees.empty.title":"Wala pang mga worktree","settings.worktrees.error.body":"May nangyaring mali habang nilo-load ang mga worktree.","settings.worktrees.error.retry":"Subukan ulit","settings.worktrees.error.title":"Hindi ma-load ang mga worktree","settings.worktrees.loading.body":"Kinukuha ang mga detalye ng worktree.","settings.worktrees.loading.title":"Nilo-load ang mga worktree","settings.worktrees.repository.loading":"Nilo-load ang repository metadata…","settings.worktrees.repository.unknown":"Hindi kilalang repository","settings.worktrees.row.conversations":"Mga pag-uusap","settings.worktrees.row.conversations.empty":"Walang mga pag-uusap na naka-link sa worktree na ito.","settings.worktrees.row.conversations.loading":"Nilo-load ang mga pag-uusap...","settings.worktrees.row.delete":"I-delete","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Magdagdag ng bagong proyekto","sidebarElectron.archiveThread":"I-archive ang thread","sidebarElectron.archiveThreadError":"Hindi na-archive ang thread","sidebarElectron.collapseFolder":"I-collapse ang folder","sidebarElectron.createStableWorktree":"Gumawa ng permanenteng worktree","sidebarElectron.createStableWorktree.dialog.ariaLabel":"Pangalan ng proyekto","sidebarElectron.createStableWorktree.dialog.cancel":"Kanselahin","sidebarElectron.createStableWorktree.dialog.create":"Gumawa","sidebarElectron.createStableWorktree.dialog.placeholder":"Pangalan ng proyekto","sidebarElectron.createStableWorktree.dialog.subtitle":"Gumawa ng bagong git worktree mula sa HEAD, idagdag ito bilang isang proyekto, at panatilihin ito hanggang alisin mo ito.","sidebarElectron.createStableWorktree.dialog.title":"Gumawa ng worktree at i-save bilang isang proyekto","sidebarElectron.createStableWorktree.error":"Nabigong gumawa ng permanenteng worktree: {message}","sidebarElectron.debugNavLink":"I-debug","sidebarElectron.editWorkspaceRootOptionName":"I-edit ang pangalan","sidebarElectron.expandFolder":"I-expand ang folder","sidebarElectron.groupByMenu.recency":"Chronological list","sidebarElectron.groupByMenu.title":"Organize","sidebarElectron.groupByMenu.workspace":"Ayon sa proyekto","sidebarElectron.inboxRouteNavLink":"Mga automation","sidebarElectron.markThreadUnread":"Markahan bilang hindi pa nababasa","sidebarElectron.missingWorkspaceRoot":"Na-delete o nailipat ang folder ng proyekto na ito","sidebarElectron.newThread":"Bagong thread","sidebarElectron.newThreadInGroup":"Magsimula ng bagong thread sa {folder}","sidebarElectron.noRecentThreads":"Walang mga kamakailan lang na thread","sidebarElectron.noTasks":"Walang mga thread","sidebarElectron.noTasks.start":"Magdagdag ng bagong proyekto","sidebarElectron.noTasksWithFilter":"Walang mga thread ang tugma sa mga filter","sidebarElectron.pinnedThreads":"Mga naka-pin na thread","sidebarElectron.recentNavLink":"Mga thread","sidebarElectron.recentThreads":"Mga kamakailan lang na thread","sidebarElectron.removeWorkspaceRootOption":"Alisin","sidebarElectron.renameThread":"Pangalanan muli ang thread","sidebarElectron.renameThreadDialogAriaLabel":"Pamagat ng thread","sidebarElectron.renameThreadDialogCancel":"Kanselahin","sidebarElectron.renameThreadDialogPlaceholder":"Magdagdag ng pamagat...","sidebarElectron.renameThreadDialogSave":"I-save","sidebarElectron.renameThreadDialogSubtitle":"Panatilihing maikli at nakikilala","sidebarElectron.renameThreadDialogTitle":"Pangalanan muli ang thread","sidebarElectron.renameThreadError":"Nabigong pangalanan muli ang thread.","sidebarElectron.renameWorkspaceRootOptionLabel":"Display name","sidebarElectron.showLess":"Ipakita ang mas kaunti","sidebarElectron.showMenu.all":"Lahat ng thread","sidebarElectron.showMenu.relevant":"May kabuluhan","sidebarElectron.showMenu.relevantHint":"Ipakita lang ang mga kamakailang thread para sa kasalukuyang branch, mga worktree, o iba pang mga thread na nangangailangan ng atensyon mo","sidebarElectron.showMenu.title":"Ipakita","sidebarElectron.showMenu.tooltip":"I-filter, i-sort, at iorganisa ang mga thread","sidebarElectron.showMenu.trigger":"I-filter ang mga sidebar thread","sidebarElectron.showMore":"Ipakita ang higit pa","sidebarElectron.skillsAppsRouteNavLink":"Mga Skill at App","sidebarElectron.skillsRouteNavLink":"Skills","sidebarElectron.sortMenu.created":"Ginawa","sidebarElectron.sortMenu.title":"Ayusin ayon sa","sidebarElectron.sortMenu.updated":"Na-update","sidebarElectron.taskNavigation":"Mga folder ng automation","sidebarElectron.tasksInFolder":"Mga automation sa {folder}","sidebarElectron.workspaceOptions":"Mga aksyon ng proyekto para sa {folder}","sidebarElectron.worktreeGroupTooltip":"Ito ay isang git worktree","skills.appsPage.apps.enableToggle":"I-enable ang app","skills.appsPage.apps.installOnChatGpt":"I-install sa ChatGPT","skills.appsPage.apps.manageOnChatGpt":"I-manage sa ChatGPT","skills.appsPage.apps.noDescription":"Walang paglalarawan","skills.appsPage.createSkill":"Bagong skill","skills.appsPage.empty.apps":"Walang nahanap na mga app","skills.appsPage.empty.discoverApps":"Walang tutuklasing mga app","skills.appsPage.empty.installedApps":"Walang naka-install na mga app","skills.appsPage.empty.skills":"Walang nahanap na mga skill","skills.appsPage.heading":"Mga Skill at App","skills.appsPage.search.all":"Maghanap ng mga skill at app","skills.appsPage.search.all.label":"Maghanap ng mga skill at app","skills.appsPage.search.apps":"Maghanap sa mga app","skills.appsPage.search.apps.label":"Maghanap sa mga app","skills.appsPage.search.skills":"Maghanap ng mga skill","skills.appsPage.search.skills.label":"Maghanap ng mga skill","skills.appsPage.section.apps":"Mga app","skills.appsPage.section.apps.seeAll":"Tingnan ang lahat ng {count} (na) app","skills.appsPage.section.discover":"Tuklasin","skills.appsPage.section.installedApps":"Naka-install","skills.appsPage.section.skills":"Skills","skills.appsPage.section.skills.seeAll":"Tingnan ang lahat ng {count} (na) skill","skills.appsPage.subheading":"Bigyan ang Codex ng mga superpower. <link>Alamin ang higit pa</link>","skills.appsPage.tab.apps":"Mga app","skills.appsPage.tab.recommended":"Inirerekomenda","skills.appsPage.tab.skills":"Skills","skills.card.contentsError":"Hindi ma-load ang mga skill content.","skills.card.disable":"I-disable","skills.card.disableSuccess":"{skillName} skill ang naka-disable","skills.card.disabledBadge":"Naka-disable","skills.card.enable":"I-enable","skills.card.enableSuccess":"{skillName} skill ang naka-enable","skills.card.loadingContents":"Nilo-load ang mga skill content...","skills.card.more":"Mas maraming aksyon","skills.card.open":"Buksan","skills.card.removeFailed":"Nabigong i-uninstall ang skill","skills.card.removeSuccess":"{skillName} skill ang na-uninstall","skills.card.toggleEnabledError":"Nabigong i-update ang skill","skills.card.try":"Subukan","skills.card.trySkill":"Subukan ang skill","skills.card.uninstall":"I-uninstall","skills.hero.dotLabel":"Pumunta sa slide {index}","skills.hero.next":"Susunod na featured skill","skills.hero.trySkill":"Subukan ang skill","skills.page.createSkill":"Bagong Skill","skills.page.empty":"Walang nahanap na mga skill","skills.page.filteredEmpty":"Walang mga skill ang tumutugma sa iyong mga filter","skills.page.filteredEmptyDescription":"Subukang i-adjust ang iyong paghahanap o mga filter ng saklaw","skills.page.heading":"Skills","skills.page.loading":"Nilo-load ang mga skill...","skills.page.refreshSkills":"I-refresh","skills.page.refreshSkillsToUseNew":"I-refresh para gamitin ang (mga) bagong skill","skills.page.search":"Maghanap ng mga skill","skills.page.search.label":"Maghanap ng mga skill","skills.page.subheading":"Bigyan ang Codex ng mga superpower. <link>Alamin ang higit pa</link>","skills.preview.copyPrompt":"Kopyahin ang prompt","skills.preview.examplePrompt":"Halimbawang prompt","skills.recommended.error":"Hindi ma-load ang mga inirerekomendang skill","skills.recommended.install":"I-install","skills.recommended.installSkill":"Mag-install ng skill","skills.recommended.installSuccess":"{skillName} skill ang na-install","skills.recommended.installed":"Naka-install","skills.scope.admin":"Admin","skills.scope.adminInstalled":"Na-install ang admin","skills.scope.builtIn":"System","skills.scope.personal":"Personal","skills.scope.repo":"Repo","skills.scope.system":"System","skills.scope.team":"Team","skills.scope.user":"User","skills.section.installed":"Naka-install","skills.section.recommended":"Inirerekomenda","story.slidingToggle.existing":"Umiiral","story.slidingToggle.fromLocal":"Mula sa local","story.slidingToggle.new":"Bago","story.slidingToggle.toLocal":"Sa local","terminal.close":"Isara ang terminal","terminal.title":"Terminal","thinkingShimmer.default":"Nag-iisip","threadEnvIcon.cloudTooltip":"Tumatakbo ang pag-uusap na ito sa Codex Cloud.","threadEnvIcon.localTooltip":"Ang pag-uusap na ito ay tumatakbo sa lokal.","threadEnvIcon.worktreeTooltip":"Tumatakbo ang pag-uusap na ito sa isang lokal na git worktree.","threadHeader.archiveConfirmCancel":"Kanselahin","threadHeader.archiveConfirmConfirm":"I-archive","threadHeader.archiveConfirmSubtitle":"Mahahanap mo ito sa iyong naka-archive na mga thread.","threadHeader.archiveConfirmTitle":"I-archive ang thread?","threadHeader.copyAppLink":"Kopyahin ang deeplink","threadHeader.copySessionId":"Kopyahin ang session ID","threadHeader.copyWorkingDirectory":"Kopyahin ang working directory","threadHeader.forkIntoLocal":"Gumawa ng hiwalay na kopya sa local","threadHeader.forkIntoWorktree":"Gumawa ng hiwalay na kopya sa bagong worktree","threadHeader.forkPendingWorktreePrompt":"Gumawa ng hiwalay na kopya ng pag-uusap na ito sa bagong worktree.","threadHeader.forkPendingWorktreeTitle":"Pag-uusap na ginawan ng hiwalay na kopya","threadHeader.forkThreadError":"Nabigong gawan ng hiwalay na kopya ang thread","threadHeader.forkThreadRequiresGitRepo":"Gumagawa ng worktree para gawan ng hiwalay na kopya ang pag-uusap na ito.","threadHeader.moreActions":"Mga aksyon sa thread","threadPage.newThread":"Bagong thread","threadPage.runAction.changeEnvironment":"Palitan ang environment","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} mga aksyon","threadPage.runAction.environmentSelector.label":"Pumili ng environment","threadPage.runAction.label":"Paganahin","threadPage.runAction.missing.label":"Mag-set up ng run action","threadPage.runAction.setup.commandLabel":"Command na paganahin","threadPage.runAction.setup.description":"Sabihin sa Codex kung paano i-install ang dependencies at simulan ang app mo.","threadPage.runAction.setup.editMore":"Mga setting ng environment","threadPage.runAction.setup.placeholder":"hal: npm install npm run","threadPage.runAction.setup.submit":"I-save at paganahin","threadPage.runAction.setup.title":"Paganahin","threadPage.runAction.tooltip.withEnvironment":"{environmentName} mga aksyon","threadPage.toggleDiffPanel":"I-toggle ang diff panel","threadPage.toggleTerminal":"I-toggle ang terminal","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Open folder","toolSummaryForCmd.exploredFiles":"<verb>Mga nakalistang</verb> file","toolSummaryForCmd.exploredFilesInPath":"<verb>Mga naglistang</verb> file sa {path}","toolSummaryForCmd.exploringFiles":"<verb>Paglilista</verb> ng mga file","toolSummaryForCmd.exploringFilesInPath":"<verb>Paglilista</verb> ng mga file sa {path}","toolSummaryForCmd.finishedBackgroundTerminal":"Tapos na ang background terminal","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"Tapos na ang background terminal ng {command}","toolSummaryForCmd.ranGenericCommand":"<status>Pinagana ang command</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Ran</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Basahin</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Pinagagana ang command</status>{timer}","toolSummaryForCmd.runningTimer":"para sa {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Naghanap</verb> ng {query}","toolSummaryForCmd.searchedForFiles":"<verb>Naghanap</verb> ng mga file","toolSummaryForCmd.searchedForInPath":"<verb>Naghanap</verb> ng {query} sa {path}","toolSummaryForCmd.searchingFor":"<verb>Naghahanap</verb> ng {query}","toolSummaryForCmd.searchingForFiles":"<verb>Naghahanap</verb> ng mga file","toolSummaryForCmd.searchingForInPath":"<verb>Naghahanap</verb> ng {query} sa {path}","toolSummaryForCmd.startedBackgroundTerminal":"Sinimulan ang background terminal","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"Sinimulan ang background terminal ng {command}","traceRecording.details.noteLabel":"Ano ang ginagawa mo noong nangyari ito? (opsyonal)","traceRecording.details.notePlaceholder":"Pumunta sa malaking thread, at saka paulit-ulit na nagpalipat-lipat sa mga tab...","traceRecording.details.submit":"Ipadala ang trace","traceRecording.details.subtitle":"Puwede naming ipadala ang profile trace na ito para tumulong na ma-diagnose ang mga isyu sa performance.","traceRecording.details.title":"Ipadala ang profile trace?","traceRecording.progress.subtitle":"Panatilihing bukas ang Codex habang natatapos ito.","traceRecording.saving.title":"Sine-save ang trace…","traceRecording.startDetails.cancel":"Kanselahin","traceRecording.startDetails.submit":"OK, Simulan ang Pagre-record","traceRecording.startDetails.subtitle":"Pagkatapos mong i-click ang OK, i-reproduce ang isyu sa performance, at saka i-click ang floating red indicator para ihinto at suriin ang trace.","traceRecording.startDetails.title":"Paano Gumagana ang Trace Recording","traceRecording.stopButton.ariaLabel":"Ihinto ang trace recording","traceRecording.upload.successToast":"Naipadala ang profile trace.","traceRecording.uploading.title":"Ina-upload ang trace...","wham.diff.addComment":"Magdagdag ng komento","wham.diff.binaryFile":"Hindi ipinapakita ang binary file","wham.diff.noContent":"Walang content","wham.fileTag.deleted":"Na-delete","wham.fileTag.new":"Bago","wham.formattedRelativeDateTime.compactDaysAgo":"{value}a","wham.formattedRelativeDateTime.compactHoursAgo":"{value}o","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}bu","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}l","wham.formattedRelativeDateTime.compactYearsAgo":"{value}t","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Ginagawa ang iyong gawain","wham.whamProposedTask.title":"Magmungkahi ng gawain","wham.whamProposedTask.useSuggestion":"Gamitin ang suhestiyon","workspaceRootDialog.addError":"Nabigong idagdag ang proyekto","workspaceRootDialog.cancel":"Kanselahin","workspaceRootDialog.confirmAdd":"Magdagdag ng proyekto","workspaceRootDialog.confirmPick":"Gumamit ng proyekto","workspaceRootDialog.description":"Maglagay ng path sa {host} para gamitin bilang proyekto.","workspaceRootDialog.pathLabel":"Path ng proyekto","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Magdagdag ng path ng proyekto","workspaceRootDialog.title.pick":"Pumili ng path ng proyekto","worktreeInitV2.cancel":"Kanselahin","worktreeInitV2.notification.failedTitle":"Nabigo ang pag-set up ng worktree","worktreeInitV2.output.empty":"Naghihintay ng output...","worktreeInitV2.status.error":"Nabigo ang pag-set up ng worktree","worktreeInitV2.status.running":"Gumagawa ng worktree at nagpapagana ng setup.","worktreeInitV2.status.runningFork":"Gumagawa ng worktree para gawan ng hiwalay na kopya ang pag-uusap na ito.","worktreeInitV2.status.success":"Handa na ang worktree.","worktreeInitV2.title":"Gumagawa ng worktree","worktreeInitV2.workLocallyInstead":"Sa halip ay magtrabaho sa local","worktreeRestoreBanner.body":"Inalis ang worktree ng thread na ito para mag-save ng disk space","worktreeRestoreBanner.missing.body":"Wala na ang working directory ng thread na ito.","worktreeRestoreBanner.missing.title":"Nawawala ang kasalukuyang working directory","worktreeRestoreBanner.restore.error":"Nabigong i-restore ang worktree: {message}","worktreeRestoreBanner.restore.success":"Na-restore na ang worktree","worktreeRestoreBanner.restoreCta":"I-restore ang worktree","worktreeRestoreBanner.title":"Nalinis na ang worktree"};Object.assign(a,globalThis.codexI18nOverrides?.["tl"]);export{a as default};
 //# sourceMappingURL=tl-__z-JU7o.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Kopyala","app.sidebar.hide":"Kenar çubuğunu gizle","app.sidebar.show":"Kenar çubuğunu göster","app.sidebar.tooltip":"Kenar çubuğunu değiştir","appHeader.installUpdate":"Güncelle","appSunset.body":"Bu uygulama sürümü artık desteklenmiyor. Lütfen en son sürümü <here>buradan</here> indir.","appSunset.title":"Güncelleme gerekli","automation.updateDirective.create":"Oluştur","automation.updateDirective.open":"Aç","automation.updateDirective.untitled":"İsimsiz otomasyon","automation.updateDirective.update":"Güncelle","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# deneme} other {# deneme}}","cloudTaskRow.archiveError":"Görev arşivlenemedi","code.diff.requestChange":"Değişiklik iste","code.diffComment.cancel":"İptal et","code.diffComment.comment":"Yorum","code.diffComment.delete":"Sil","code.diffComment.save":"Kaydet","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Bildirilen bulgu yok.","codex.alert.closeAriaLabel":"Kapat","codex.appUpsellBanner.cbpApi.message":"Codex uygulamasıyla daha hızlı geliştir. Şimdi indir veya {learnMoreLink}.","codex.appUpsellBanner.download":"İndir","codex.appUpsellBanner.freeGo.message":"Codex, 2 Mart’a kadar planına dâhildir. Daha hızlı geliştirmek için Codex uygulamasını dene.","codex.appUpsellBanner.later":"Daha sonra","codex.appUpsellBanner.learnMoreLowercase":"daha fazla bilgi al","codex.appUpsellBanner.new":"Yeni","codex.appUpsellBanner.proPlusBusiness.message":"Codex uygulamasını 2 Nisan’a kadar 2 kat daha fazla istek limitiyle dene. Şimdi indir veya {learnMoreLink}.","codex.appUpsellBanner.title":"Codex uygulaması","codex.applyDropdown.header.changes":"Değişiklikler","codex.applyDropdown.header.fileCount":"{count, plural, one {# dosya} other {# dosya}}","codex.applyDropdown.header.rows":"satır","codex.applyDropdown.header.title":"Değişiklikleri uygula","codex.applyDropdown.header.workspace":"Proje","codex.applyDropdown.results.conflicted":"{count, plural, one {1 dosya çakıştı:} other {{count} dosya çakıştı:}}","codex.applyDropdown.results.empty":"Kopyalanan dosya yok","codex.applyDropdown.results.skipped":"{count, plural, one {1 dosya atlandı:} other {{count} dosya atlandı:}}","codex.applyOrRevertBanner.apply":"Uygula","codex.applyOrRevertBanner.applyMessage":"Değişiklikler uygulanıp yerel olarak devam edilsin mi?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Bu görev {environment} ortamında yapıldığı için temiz bir şekilde uygulanamayabilir.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Değişiklikler {environment} ortamında yapıldığı için temiz bir şekilde uygulanamayabilir.","codex.applyOrRevertBanner.reapply":"Tekrar uygula","codex.applyOrRevertBanner.revert":"Geri al","codex.applyOrRevertBanner.revertMessage":"Uygulanan değişiklikler geri alınsın mı?","codex.applyResultsDialog.applied":"Temiz bir şekilde uygulandı ({count})","codex.applyResultsDialog.close":"Kapat","codex.applyResultsDialog.conflicted":"Çakıştı ({count})","codex.applyResultsDialog.noDetails":"Dosya ayrıntısı yok.","codex.applyResultsDialog.skipped":"Atlandı ({count})","codex.applyResultsDialog.title":"Sonuçları uygula","codex.archiveInfo":"{dataControlsLink} dâhilindeki arşivlenmiş sohbetleri görüntüle","codex.archiveInfo.dataControlsLink":"Veri Kontrolleri","codex.archiveInfo.electron":"{settingsLink} dâhilindeki arşivlenmiş sohbetleri görüntüle","codex.archiveInfo.extension":".codex klasöründeki arşivlenmiş sohbetleri görüntüle.","codex.archiveInfo.settingsLink":"Ayarlar","codex.banner.content.description":"Görevleri paralel olarak çalıştır, ilerlemeyi her yerde takip et ve PR’leri yapay zeka ile incele.","codex.banner.content.headline":"Codex bunların hepsini yapar.","codex.cloudTaskRow.archiveTask":"Görevi arşivle","codex.cloudTaskRow.confirmArchiveTask":"Onayla","codex.command.feedback":"Geri Bildirim","codex.command.findInThread":"Bul","codex.command.forceReloadSkills":"Yetenekleri zorla yeniden yükle","codex.command.logOut":"Oturumu kapat","codex.command.manageTasks":"Görevleri yönet","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Geri","codex.command.navigateForward":"İleri","codex.command.newThread":"Yeni mesaj dizisi","codex.command.nextThread":"Sonraki mesaj dizisi","codex.command.openFolder":"Klasörü aç","codex.command.openSkills":"Becerilere git","codex.command.openThreadOverlay":"Mesaj dizisini yeni pencerede aç","codex.command.personalitySettings":"Kişilik","codex.command.previousThread":"Önceki mesaj dizisi","codex.command.settings":"Ayarlar","codex.command.toggleDiffPanel":"Fark panelini değiştir","codex.command.toggleSidebar":"Kenar çubuğunu değiştir","codex.command.toggleTerminal":"Terminali değiştir","codex.commandGroup.app":"Uygulama","codex.commandGroup.configure":"Yapılandır","codex.commandGroup.navigation":"Gezinme","codex.commandGroup.panels":"Paneller","codex.commandGroup.skills":"Beceriler","codex.commandGroup.thread":"Mesaj dizisi","codex.commandGroup.workspace":"Proje","codex.commandMenu.noResults":"Eşleşme yok","codex.commandMenu.searchPlaceholder":"Komutları ara","codex.commandMenu.suggestedGroup":"Önerilen","codex.commandMenu.switchWorkspace":"Proje değiştir","codex.commandMenu.title":"Komut menüsü","codex.common.retry":"Yeniden dene","codex.composer.searchBranches":"Dalları ara","codex.dialog.basic.body":"Bu, wrapper’ımızı Radix Dialog ile kullanan basit bir iletişim penceresidir.","codex.dialog.basic.cancel":"İptal et","codex.dialog.basic.confirm":"Onayla","codex.dialog.basic.open":"İletişim Kutusunu Aç","codex.dialog.basic.title":"Örnek İletişim Kutusu","codex.dialog.long.close":"Kapat","codex.dialog.long.line":"İletişim kutusundaki uzun içeriği gösteren kaydırılabilir satır {index}.","codex.dialog.long.open":"Uzun İletişim Kutusunu Aç","codex.dialog.long.title":"Uzun İçerik İletişim Kutusu","codex.dialog.unstyled.body":"Bu, iletişim kutusu içeriğinin görsel stilinin tamamen çağıran tarafından kontrol edilebildiğini gösterir.","codex.dialog.unstyled.open":"Stilsiz İletişim Kutusunu Aç","codex.dialog.unstyled.title":"Stilsiz İçerik","codex.diff.openInEditorPrompt.openButton":"Düzenleyicide aç","codex.diff.openInEditorPrompt.singleLine":"Bu dosya burada görüntülenemeyecek kadar büyük.","codex.diffView.failedToDecodeBase64Diff":"base64 diff deşifre edilemedi","codex.diffView.filesChanged":"{fileCount, plural, one {# dosya değiştirildi} other {# dosya değiştirildi}}","codex.diffView.imagePreviewAlt":"Görsel ön izleme","codex.diffView.imagePreviewEmpty":"Görsel yok","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"diff verisi yok","codex.diffView.pdfPreview.nextPage":"Sonraki sayfa","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Önceki sayfa","codex.diffView.pdfPreviewEmpty":"PDF ön izlemesi yok","codex.diffView.pdfPreviewError":"PDF ön izlemesi işlenemedi","codex.diffView.richPreviewDisable":"Zengin ön izlemeyi devre dışı bırak","codex.diffView.richPreviewEnable":"Zengin ön izlemeyi etkinleştir","codex.diffView.richPreviewLoading":"Ön izleme yükleniyor...","codex.diffView.richPreviewToggle":"Zengin ön izlemeyi aç/kapat","codex.diffView.switchToUnified":"Birleştirilmiş diff’e geç","codex.environmentSelector.noEnvironment":"Ortam yok","codex.environments.environmentSettings":"Ortam ayarları","codex.environments.learnMore":"Daha fazla bilgi al","codex.environments.listError":"Ortamlar yüklenemedi.","codex.environments.noEnvironmentsFound":"Hiçbir ortam bulunamadı","codex.environments.searchError":"Ortamlar aranamadı.","codex.errorBoundary.genericError":"Bir hata oluştu","codex.errorBoundary.goHome":"Tekrar dene","codex.file.patch.missing":"Bu dosya için yama oluşturulamadı.","codex.gallery.automations.cwdLabel":"Projeler","codex.gallery.automations.nameLabel":"Ad","codex.gallery.automations.namePlaceholder":"Bir görevi özetle","codex.gallery.automations.promptLabel":"İstem","codex.gallery.automations.promptPlaceholder":"Codex’in ne yapması gerektiğini açıkla","codex.gallery.dialogs.automation.label":"Otomasyon iletişim kutusu","codex.gallery.dialogs.basic.body":"Basit onaylar veya kısa formlar için bu düzeni kullan.","codex.gallery.dialogs.basic.cancel":"İptal et","codex.gallery.dialogs.basic.confirm":"Onayla","codex.gallery.dialogs.basic.label":"Temel iletişim kutusu","codex.gallery.dialogs.basic.title":"Örnek iletişim kutusu","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Sorunu açıkla","codex.gallery.dialogs.feedbackSubmission.bad":"Kötü sonuç","codex.gallery.dialogs.feedbackSubmission.bug":"Hata","codex.gallery.dialogs.feedbackSubmission.good":"İyi sonuç","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Mevcut Codex oturum günlüklerini dâhil et","codex.gallery.dialogs.feedbackSubmission.label":"Geri bildirim gönderimi","codex.gallery.dialogs.feedbackSubmission.other":"Diğer","codex.gallery.dialogs.feedbackSubmission.placeholder":"Sorunu burada açıkla","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"Güvenlik Kontrolü","codex.gallery.dialogs.feedbackSubmission.submit":"Gönder","codex.gallery.dialogs.feedbackSubmission.title":"Geri Bildirim","codex.gallery.dialogs.feedbackSuccess.body":"Geri bildirim yüklendi. Sorun devam ederse lütfen bir GitHub sorunu aç veya mevcut bir çözümlenmemiş sorunda mesaj dizini kimliğinden bahset:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Kapat","codex.gallery.dialogs.feedbackSuccess.label":"Geri bildirim başarısı","codex.gallery.dialogs.feedbackSuccess.title":"Geri bildirim yüklendi","codex.gallery.dialogs.gitApplyResults.applied":"Temiz bir şekilde uygulandı (2)","codex.gallery.dialogs.gitApplyResults.close":"Kapat","codex.gallery.dialogs.gitApplyResults.conflicted":"Çakıştı (1)","codex.gallery.dialogs.gitApplyResults.label":"Sonuçları uygula","codex.gallery.dialogs.gitApplyResults.title":"Sonuçları uygula","codex.gallery.dialogs.gitPushError.body":"En son değişiklikleri çek veya uzak geçmişin üzerine yazılmasının güvenli olduğundan eminsen zorla gönder.","codex.gallery.dialogs.gitPushError.cancel":"İptal et","codex.gallery.dialogs.gitPushError.force":"Zorla gönder","codex.gallery.dialogs.gitPushError.label":"Gönderme hatası","codex.gallery.dialogs.gitPushError.subtitle":"Yerel dalın, origin/main dalının gerisinde.","codex.gallery.dialogs.gitPushError.title":"Gönderim değişiklikleri kaydedilemedi","codex.gallery.dialogs.gitRevert.cancel":"İptal et","codex.gallery.dialogs.gitRevert.confirm":"Değişikliği geri al","codex.gallery.dialogs.gitRevert.label":"Değişiklikleri geri al","codex.gallery.dialogs.gitRevert.skip":"Tekrar sorma","codex.gallery.dialogs.gitRevert.subtitle":"Bu eylem tüm değişiklikleri kaldırır.","codex.gallery.dialogs.gitRevert.title":"Değişiklikler geri alınsın mı?","codex.gallery.dialogs.longForm.label":"Uzun formatlı iletişim kutusu","codex.gallery.dialogs.proseModal.body":"Bu bilgi penceresi daha uzun talimatlar, oryantasyon ve zengin içerikli bloklar içerik blokları için kullanılır.","codex.gallery.dialogs.proseModal.close":"Kapat","codex.gallery.dialogs.proseModal.subtitle":"Daha uzun formatlı yönlendirme veya belgeleri burada paylaş.","codex.gallery.dialogs.proseModal.title":"Düzyazı bilgi penceresi","codex.gallery.dialogs.submitBlocked.label":"Gönderim engellendi","codex.gallery.dialogs.submitBlocked.message":"Proje kullanılamadığı için mesajın gönderilemedi.","codex.gallery.dialogs.submitBlocked.ok":"Tamam","codex.gallery.dialogs.submitBlocked.title":"İleti gönderilemiyor","codex.gallery.dialogs.title":"İletişim kutuları","codex.gallery.dropdown.filterPlaceholder":"Öğeleri filtrele","codex.gallery.dropdowns.actionRow":"Eylem satırları","codex.gallery.dropdowns.actionRow.disabled":"Devre dışı bırakılan eylem","codex.gallery.dropdowns.actionRow.primary":"Birincil eylem","codex.gallery.dropdowns.actionRow.secondary":"İkincil eylem","codex.gallery.dropdowns.actionRow.trigger":"Eylemleri göster","codex.gallery.dropdowns.basic":"Temel açılır menü","codex.gallery.dropdowns.basic.newFile":"Yeni dosya","codex.gallery.dropdowns.basic.newFolder":"Yeni klasör","codex.gallery.dropdowns.basic.openSettings":"Ayarları aç","codex.gallery.dropdowns.basic.title":"Hızlı eylemler","codex.gallery.dropdowns.basic.trigger":"Menüyü aç","codex.gallery.dropdowns.basic.upload":"Karşıya yükle","codex.gallery.dropdowns.panel":"Panel yüzeyi","codex.gallery.dropdowns.panel.apply":"Uygula","codex.gallery.dropdowns.panel.body":"Diff’leri incele ve projene uygula.","codex.gallery.dropdowns.panel.preview":"Ön İzleme","codex.gallery.dropdowns.panel.title":"Değişiklikleri uygula","codex.gallery.dropdowns.panel.trigger":"Paneli aç","codex.gallery.dropdowns.search":"Arama özellikli açılır menü","codex.gallery.dropdowns.search.first":"Alpha kanal","codex.gallery.dropdowns.search.second":"Beta dal","codex.gallery.dropdowns.search.third":"Sürüm adayı","codex.gallery.dropdowns.search.trigger":"Öğeleri filtrele","codex.gallery.dropdowns.submenu":"Alt menülü açılır menü","codex.gallery.dropdowns.submenu.optionA":"Proje alpha","codex.gallery.dropdowns.submenu.optionB":"Proje beta","codex.gallery.dropdowns.submenu.optionC":"Proje gamma","codex.gallery.dropdowns.submenu.primary":"Sahip ata","codex.gallery.dropdowns.submenu.secondary":"Şuraya taşı:","codex.gallery.dropdowns.submenu.tertiary":"Arşivle","codex.gallery.dropdowns.submenu.trigger":"Eylem seç","codex.gallery.dropdowns.title":"Açılır menüler","codex.gallery.inbox.automations.close":"Kapat","codex.gallery.inbox.automations.popover.cardTitle":"Otomasyonları yönet","codex.gallery.inbox.automations.popover.dialogTitle":"Otomasyonları yönet","codex.header.settingsTooltip":"Ayarlar","codex.hunk.patch.error":"Staging alanına alma işlemi başarısız","codex.hunk.patch.missing":"Bu değişiklik bloku için yama oluşturulamadı.","codex.hunk.patch.partialSuccess":"Kısmen başarılı","codex.hunk.patch.revertError":"Staging alanına almama işlemi başarısız","codex.hunk.patch.revertSuccess":"Staging alanına almama işlemi başarılı","codex.hunk.patch.success":"Staging alanına alma işlemi başarılı","codex.legal.autonomy.details":"Daha fazla ayrıntı için: {link}","codex.legal.autonomy.details.link":"Codex belgeleri","codex.legal.autonomy.title":"Ne kadar otonomi vermek istediğine karar ver","codex.legal.backButton":"Geri","codex.legal.cloud.taskOne.meta":"openai/agi · 12 Ekim","codex.legal.cloud.taskOne.title":"Depoyu yeni bir tasarımcıya açıkla","codex.legal.cloud.taskThree.meta":"openai/codex · 8 Ekim","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Karanlık mod teması oluştur","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 Ekim","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Oryantasyon hatasını düzelt","codex.legal.continue.apikey":"Devam et","codex.legal.continueButton":"Sonraki","codex.legal.copilot.details":"Tüm model çağrıları, faturalama ve istek limitleri için Copilot planını kullanır. Codex uzantı kullanımı {oaiTos} ve {gitHubTos} sözleşmelerine tabidir.","codex.legal.copilot.gitHubTosLink":"GitHub Hizmet Koşulları","codex.legal.copilot.oaiTosLink":"OpenAI Codex hizmet koşulları","codex.legal.copilot.title":"GitHub Copilot desteklidir","codex.legal.mistakes.review":"Yazdığı kodu ve çalıştırdığı komutları incele","codex.legal.mistakes.title":"Codex hata yapabilir","codex.legal.powered.details":"Planının istek limitlerini ve {link}","codex.legal.powered.details.link":"eğitim verisi tercihlerini kullanır","codex.legal.powered.title":"ChatGPT hesabını kullanır","codex.legal.step.cloud.subtitle":"Arka planda yürütülmek üzere görevleri Codex’e gönder. Böylece daha iyi odaklanabilir ve daha hızlı hareket edebilirsin.","codex.legal.step.cloud.title":"Bulutta Codex’e gönder","codex.legal.step.intro.subtitle":"Codex; komutlarda gezinir, komutları düzenler, yürütür ve testleri doğrudan deponda çalıştırır. ChatGPT hesabını kullanır.","codex.legal.step.intro.title":"Kendi IDE’nde Codex","codex.legal.step.todo.subtitle":"Bir TODO yorumu yaz ve bunu tek bir tıkla Codex görevine dönüştür.","codex.legal.step.todo.title":"TODO’ları Codex görevlerine dönüştür","codex.legal.todo.heading":"// TODO: şemayı uygula","codex.localConversation.closeImagePreview":"Görsel ön izlemesini kapat","codex.localConversation.userImageAttachment":"Kullanıcı eki","codex.localTaskRow.archiveTask":"Mesaj dizisini arşivle","codex.localTaskRow.awaitingApproval":"Onay bekleniyor","codex.localTaskRow.awaitingResponse":"Yanıt bekleniyor","codex.localTaskRow.confirmArchiveTask":"Onayla","codex.loggedOut.apiKeyPrompt.cancel":"İptal et","codex.loggedOut.apiKeyPrompt.confirm":"Tamam","codex.loggedOut.apiKeyPrompt.getKey":"API Anahtarını al","codex.loggedOut.apiKeyPrompt.inputLabel":"OpenAI API anahtarını gir","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Bulut görevleri API anahtarıyla devre dışı bırakıldı","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Bulut görevleri Copilot ve API anahtarıyla devre dışı bırakıldı","codex.loggedOut.signIn":"ChatGPT ile oturum aç","codex.loggedOut.signIn.cancel":"Oturum açmayı iptal et","codex.loggedOut.signInWithCopilot":"GitHub Copilot ile oturum aç","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API Anahtarını kullan","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} aracı","codex.mcpTool.collapsedLabel.verb.called":"Çağırıldı","codex.mcpTool.collapsedLabel.verb.calling":"Çağrılıyor","codex.mcpTool.embeddedResource.contentLabel":"İçerik","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME türü","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Araç herhangi bir içerik getirmedi","codex.mcpTool.rawPayloadHeading":"Ham {server}.{tool} araç çağrısı yük verisi","codex.menu.recent":"Yakın zamanda","codex.menu.seeAllHistory":"Tüm geçmişi gör","codex.modelCapacityBanner.headline.noReset":"{modelName} şu anda kapasitesinin sınırına ulaştı. Daha sonra tekrar dene veya başka bir modelle yeni bir konuşma başlat.","codex.modelCapacityBanner.headline.withReset":"{modelName} şu anda kapasitesinin sınırına ulaştı. {resetDate} sonra tekrar dene veya başka bir modelle yeni bir konuşma başlat.","codex.modelCapacityBanner.title":"Seçilen model kapasite sınırına ulaştı","codex.patch.change.contentsDeleted":"İçerikler silindi","codex.patch.change.created":"Oluşturma tarihi:","codex.patch.change.created-file":"Dosya oluşturuldu","codex.patch.change.creating":"Oluşturuluyor","codex.patch.change.deleted":"Silindi","codex.patch.change.deleted-file":"Dosya silindi","codex.patch.change.deleting":"Siliniyor","codex.patch.change.edited":"Düzenlendi","codex.patch.change.edited-file":"Düzenlenen dosya","codex.patch.change.editing":"Düzenliyor","codex.patch.change.noChanges":"Değişiklik yok","codex.patch.change.rejected-add":"Reddedildi","codex.patch.change.rejected-delete":"Reddedildi","codex.patch.change.rejected-edit":"Reddedildi","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} / {total} görev tamamlandı","codex.plan.todoListCreated":"Yapılacaklar listesi {total} görevle oluşturuldu","codex.profileDropdown.apiKeyAuth":"API anahtarı ile oturum açıldı","codex.profileDropdown.codexSettings":"Codex ayarları","codex.profileDropdown.copilotAuth":"Copilot ile oturum açıldı","codex.profileDropdown.defaultAccountTitle":"Varsayılan hesap","codex.profileDropdown.enterBehavior":"Uzun istemler göndermek için {modifierSymbol} + enter","codex.profileDropdown.enterBehaviorError":"Ayar güncellenemedi","codex.profileDropdown.getPlus":"Daha yüksek limitler için yükselt","codex.profileDropdown.keyboardShortcuts":"Klavye kısayolları","codex.profileDropdown.language":"Dil","codex.profileDropdown.languageDefault":"Otomatik Algıla","codex.profileDropdown.languageSearchPlaceholder":"Dil ara","codex.profileDropdown.languageUpdateError":"Dil güncellenemedi","codex.profileDropdown.logOut":"Oturumu kapat","codex.profileDropdown.mcp":"MCP ayarları","codex.profileDropdown.openConfigToml":"config.toml dosyasını aç","codex.profileDropdown.openConfigToml.wsl":"config.toml dosyasını WSL ortamında aç","codex.profileDropdown.openExtensionSettings":"Ayarları aç","codex.profileDropdown.openMcpSettings":"MCP ayarlarını aç","codex.profileDropdown.openOnStartup":"Başlatıldığında aç","codex.profileDropdown.openOnStartupError":"Ayar güncellenemedi","codex.profileDropdown.openSkillsSettings":"Beceri ayarlarını aç","codex.profileDropdown.personalAccountTitle":"Kişisel hesap","codex.profileDropdown.queueFollowUps":"Takipleri sıraya al","codex.profileDropdown.queueFollowUpsError":"Ayar güncellenemedi","codex.profileDropdown.readDocs":"Belgeleri oku","codex.profileDropdown.readSkillsDocs":"Belgeleri oku","codex.profileDropdown.runInWsl":"WSL’de çalıştır","codex.profileDropdown.runInWslError":"Ayar güncellenemedi","codex.profileDropdown.runInWslTooltip":"Codex’i WSL’de çalıştırır. Gelişmiş korumalı alan güvenliği ve daha iyi performans için önerilir.","codex.profileDropdown.settings":"IDE ayarları","codex.profileDropdown.settingsPage":"Ayarlar","codex.profileDropdown.signInWithOpenAI":"ChatGPT ile oturum aç","codex.profileDropdown.skills":"Beceri ayarları","codex.profileDropdown.switchToCopilotAccount":"Copilot hesabını kullan","codex.profileDropdown.switchToOpenAIAccount":"OpenAI hesabını kullan","codex.profileDropdown.todoCodelens":"TODO yorumlarını çözümle","codex.profileDropdown.todoCodelensError":"Ayar güncellenemedi","codex.profileDropdown.windowsDocumentation":"Windows Belgeleri","codex.profileFooter.signedInFallback":"Ayarlar","codex.profileFooter.upgrade":"Yükselt","codex.recentTasksMenu.clearSearch":"Aramayı temizle","codex.recentTasksMenu.cloud":"Bulut görevleri","codex.recentTasksMenu.count":"{count, plural, =0 {Devam eden görev yok} one {# görev devam ediyor} other {# görev devam ediyor}}","codex.recentTasksMenu.empty":"Henüz mesaj dizisi yok","codex.recentTasksMenu.errorCloud":"Görevler yüklenemedi.","codex.recentTasksMenu.errorCloud.inline":"Bulut görevleri yüklenemedi.","codex.recentTasksMenu.filterAll":"Tümü","codex.recentTasksMenu.filterCloudTasks":"Bulut görevlerini filtrele","codex.recentTasksMenu.filterTooltip":"Görevleri ortama göre filtrele","codex.recentTasksMenu.local":"Yerel görevler","codex.recentTasksMenu.recent":"Tüm görevler","codex.recentTasksMenu.search":"Son görevleri ara","codex.recentTasksMenu.searchEmpty":"Sonuç yok","codex.recentTasksMenu.tooltip":"Görev geçmişi","codex.recentTasksMenu.trigger":"Son görevler. {count, plural, one {# devam ediyor} other {# devam ediyor}}","codex.remoteConversation.applyDiff.applyCta":"Değişiklikleri uygula","codex.remoteConversation.applyDiff.dropdownTitle":"Değişiklikleri bir yerel dala uygula","codex.remoteConversation.applyDiff.revertCta":"Değişiklikleri geri al","codex.remoteConversation.closeImagePreview":"Görsel ön izlemesini kapat","codex.remoteConversation.codexCloudTask":"Bir <u>Codex bulut</u> görevini görüntülüyorsun","codex.remoteConversation.errorWithMessage":"Hata: {message}","codex.remoteConversation.loadingImage":"Görsel yükleniyor","codex.remoteConversation.openInWeb":"Web’de aç","codex.remoteConversation.streaming":"Başlıyor","codex.remoteConversation.turnFailed":"Bu görev sırasında bir hata oluştu","codex.remoteConversation.turnTab.loading":"Deneme {number}","codex.remoteConversation.turnTab.title":"Deneme {number}","codex.remoteConversation.userImageAttachment":"Kullanıcı eki","codex.remoteConversation.viewPreviousTurns":"Web’de aç","codex.remoteConversation.viewPreviousTurns.buttonText":"Aç","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Web’de aç","codex.review.copyGitApplyCommand":"Git apply komutunu kopyala","codex.review.copyGitApplyCommand.toast":"Git apply komutu not panosuna kopyalandı","codex.review.diffTooLarge.description":"Bu diff, İnceleme bölümünde görüntülenemeyecek kadar büyük.","codex.review.diffTooLarge.title":"Diff görüntülenemeyecek kadar büyük","codex.review.expandOrCollapseDiffButton.collapse":"Tüm diff’leri daralt","codex.review.expandOrCollapseDiffButton.expand":"Tüm diff’leri genişlet","codex.review.expandOrCollapseDiffMenu.collapse":"Tüm diff’leri daralt","codex.review.expandOrCollapseDiffMenu.expand":"Tüm diff’leri genişlet","codex.review.fileSearch.clear":"Dosya filtresini temizle","codex.review.fileSearch.empty":"Mevcut filtreyle eşleşen dosya bulunamadı.","codex.review.fileSearch.label":"Dosyaları filtrele","codex.review.fileSearch.placeholder":"Dosyaları filtrele…","codex.review.filesChanged":"{num, plural, =0 {Değiştirilen dosya yok} one {# dosya değiştirildi} other {# dosya değiştirildi}}","codex.review.find.loadMore":"Daha fazla eşleşme yükle","codex.review.fullReview.hideFileTree":"Dosya ağacını gizle","codex.review.fullReview.showFileTree":"Dosya ağacını göster","codex.review.header.moreOptions":"İnceleme seçenekleri","codex.review.largeDiff.banner":"Büyük diff tespit edildi, aynı anda bir dosya gösteriliyor.","codex.review.loadFullFiles.disable":"Tam dosyaları yükleme","codex.review.loadFullFiles.enable":"Tam dosyaları yükle","codex.review.noDiff":"Dosya değişiklikleri burada gösterilecek","codex.review.noDiff.gitInit.createRepository":"Git deposu oluştur","codex.review.noDiff.gitInit.creating":"Oluşturuluyor...","codex.review.noDiff.gitInit.error":"Git init başarısız: {message}","codex.review.noDiff.gitInit.success":"Git deposu oluşturuldu","codex.review.noDiff.gitRepoRequired.description":"Bu projedeki değişiklikleri izle ve geri al","codex.review.noDiff.gitRepoRequired.title":"Bir Git deposu oluştur","codex.review.noDiff.orNoLongerAvailable":"veya son diff’ler artık mevcut değil","codex.review.noDiff.reverted":"Son tur geri döndürüldü","codex.review.noDiff.revertedOrCommitted":"Son tur geri döndürüldü veya commit edildi","codex.review.refreshGitQueries":"Yenile","codex.review.revert.file.error":"{path} dosyasındaki değişiklikler geri alınamadı","codex.review.revert.file.partialSuccess":"{path} dosyasındaki değişiklikler kısmen geri alındı","codex.review.revert.file.success":"{path} dosyasındaki değişiklikler geri alındı","codex.review.revert.hunk.error":"{path} dosyasındaki {hunkNumber} değişiklik bloku değişiklikleri geri alınamadı","codex.review.revert.hunk.partialSuccess":"{path} dosyasındaki {hunkNumber} değişiklik bloku değişiklikleri kısmen geri alındı","codex.review.revert.hunk.success":"{path} dosyasındaki {hunkNumber} değişiklik bloku değişiklikleri geri alındı","codex.review.revert.section.error":"Bölümdeki değişiklikler geri alınamadı","codex.review.revert.section.partialSuccess":"Bölümdeki değişiklikler kısmen geri alındı","codex.review.revert.section.success":"Bölümdeki değişiklikler geri alındı","codex.review.revertDialog.cancel":"İptal et","codex.review.revertDialog.confirm":"Onayla","codex.review.revertDialog.message":"Bu eylem tüm değişiklikleri kaldırır.","codex.review.revertDialog.skip":"Tekrar sorma","codex.review.revertDialog.title":"Değişiklikler geri alınsın mı?","codex.review.richPreview.disable":"Zengin ön izlemeyi devre dışı bırak","codex.review.richPreview.enable":"Zengin ön izlemeyi etkinleştir","codex.review.source.cloud":"Bulut değişiklikleri","codex.review.source.local.all":"Tüm dal değişiklikleri","codex.review.source.local.lastTurn":"Son tur değişiklikleri","codex.review.source.local.uncommitted":"Commit edilmemiş değişiklikler","codex.review.source.worktree":"Commit edilmemiş worktree değişiklikleri","codex.review.stageFilter.empty.staged.description":"Staging alanına almak için düzenlemeleri kabul et","codex.review.stageFilter.empty.staged.title":"Staging alanına alınan değişiklik yok","codex.review.stageFilter.empty.unstaged.description":"Kod değişiklikleri burada gösterilecek","codex.review.stageFilter.empty.unstaged.title":"Staging alanına alınmayan değişiklik yok","codex.review.stageFilter.staged":"Staging alanına alındı","codex.review.stageFilter.staged.count":"Staging alanına alındı · {count}","codex.review.stageFilter.unstaged":"Staging alanına alınmadı","codex.review.stageFilter.unstaged.count":"Staging alanına alınmadı · {count}","codex.review.switchToSplit":"Bölünmüş fark görünümüne geç","codex.review.switchToUnified":"Birleştirilmiş diff’e geç","codex.review.toggleDiffView":"Fark görünümünü değiştir","codex.review.wordDiffs.disable":"Kelime diff’lerini devre dışı bırak","codex.review.wordDiffs.enable":"Kelime diff’lerini etkinleştir","codex.review.wrap.disable":"Kelime kaydırmayı devre dışı bırak","codex.review.wrap.enable":"Kelime kaydırmayı etkinleştir","codex.section.patch.missing":"Bu bölüm için yama oluşturulamıyor.","codex.shell.collapse":"Kabuğu daralt","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kabuk içerikleri kopyalandı","codex.shell.copy.copyTooltip":"Kabuk içeriklerini kopyala","codex.shell.copyCommand":"Komutu kopyala","codex.shell.copyOutput":"Çıktıyı kopyala","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Kabuğu genişlet","codex.shell.name":"Kabuk","codex.shell.noOutput":"Çıktı yok","codex.signInFailed.message":"Oturum açılamadı: {rawMessage}","codex.stories.toast.show":"Toast’u Göster","codex.stories.tooltip.basic":"Bu bir araç ipucu","codex.stories.tooltip.hoverMe":"Beni gezdir","codex.stories.tooltip.largerOffset":"Bu araç ipucunun daha büyük bir ofseti var","codex.stories.tooltip.offsetButton":"Daha büyük ofset","codex.stories.tooltip.shortcutButton":"Kısayol ile","codex.stories.tooltip.withShortcut":"Terminali değiştir","codex.taskRow.title":"Yeni mesaj dizisi","codex.taskRowLayout.confirm":"Onayla","codex.threadFindBar.chatFilter":"Sohbette ara","codex.threadFindBar.close":"Bul çubuğunu kapat","codex.threadFindBar.diffFilter":"Diff’lerde ara","codex.threadFindBar.label":"Mesaj dizisinde bul","codex.threadFindBar.nextResult":"Sonraki sonuç","codex.threadFindBar.noResults":"0 sonuç","codex.threadFindBar.placeholder":"Mesaj dizisinde ara…","codex.threadFindBar.placeholder.extension":"Mesaj dizisinde ara…","codex.threadFindBar.placeholder.review":"Diff ara…","codex.threadFindBar.placeholder.review.extension":"Diff ara…","codex.threadFindBar.previousResult":"Önceki sonuç","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# dosya değiştirildi} other {# dosya değiştirildi}}","codex.unifiedDiff.inlineLargeFile":"Satır içi işlemek için çok büyük","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Geri Al","codex.unifiedDiff.revertPatchError":"Değişiklikler geri alınamadı","codex.unifiedDiff.revertPatchSuccess":"Değişiklikler geri alındı","codex.unifiedDiff.reviewChangesSuffix":"değişiklikler","codex.unifiedDiff.reviewShort":"İncele","codex.unifiedDiff.viewDiffTooltip":"İncele","codex.upsellBanner.business.headline":"Hemen şimdi daha fazla erişim için yöneticine istek gönder ya da limitin {resetDate} itibarıyla sıfırlanana kadar bekle.","codex.upsellBanner.cbp.headline":"Hemen şimdi daha fazla erişim için yöneticine istek gönder.","codex.upsellBanner.cta.addCredits":"Kredi ekle","codex.upsellBanner.cta.upgradeAccount":"Yükselt","codex.upsellBanner.cta.viewUsage":"Kullanımı Görüntüle","codex.upsellBanner.free.trialHeadline":"Limitin {resetDate} tarihinde sıfırlanacak. Codex’i kullanmaya devam etmek ve GPT-5.3-Codex’e erişmek için ücretsiz Plus denemeni bugün başlat.","codex.upsellBanner.freeOrGo.headline":"İstek limitin {resetDate} itibarıyla sıfırlanacak. Codex’i kullanmaya devam etmek için bugün Plus’a yükselt.","codex.upsellBanner.general.headline":"İstek limitin {resetDate} itibarıyla sıfırlanacak.","codex.upsellBanner.general.title":"Codex iletilerin tükendi","codex.upsellBanner.go.trialHeadline":"Limitin {resetDate} tarihinde sıfırlanacak. Codex’i kullanmaya devam etmek için ücretsiz Plus denemeni bugün başlat.","codex.upsellBanner.plus.headline":"İstek limitin {resetDate} itibarıyla sıfırlanacak. Codex’i kullanmaya devam etmek için kredi ekle veya bugün Pro’ya yükselt.","codex.upsellBanner.pro.headline":"İstek limitin {resetDate} itibarıyla sıfırlanacak. Codex’i kullanmaya devam etmek için kredi ekle.","codex.userMessage.autoResolveSync":"Çakışmaları otomatik olarak çözümle","codex.userMessage.commentCount":"{count, plural, one {# yorum} other {# yorum}}","codex.userMessage.copiedAriaLabel":"Kopyalandı","codex.userMessage.copiedTooltip":"Kopyalandı","codex.userMessage.copyAriaLabel":"İletiyi kopyala","codex.userMessage.copyTooltip":"Kopyala","codex.userMessage.implementPlan":"Planı uygula","codex.userMessage.noContent":"(İçerik yok)","codex.userMessage.priorConversation":"Önceki konuşmayı referans alır","codex.userMessage.reviewMode":"İnceleme modu","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} için","codex.webSearch.summary.verb.completed":"Web’de arama yapıldı","codex.webSearch.summary.verb.inProgress":"Web’de arama yapılıyor","codex.windowsInstallWslBanner.dismiss":"Kapat","codex.windowsInstallWslBanner.installWslCta":"Sanal ortamı etkinleştir","codex.windowsInstallWslBanner.learnMore":"Daha fazla bilgi al","codex.windowsSandboxBanner.content":"Ajan modu, dosya sistemini ve ağ erişimini sınırlandırmak için Windows’ta deneysel bir sanal ortam kullanır. {sandboxLink}","codex.windowsSandboxBanner.title":"Ajan modu için sanal ortamı etkinleştir","codex.windowsSubDropdown.windowsSandbox":"Windows Sanal Ortamı","codex.windowsSubDropdown.windowsSettings":"Windows Ayarları","codexUpgradeModal.body":"En yeni ve en gelişmiş ajan tabanlı kodlama modelimiz. Daha zeki, daha hızlı ve genel teknik işlerde daha becerikli. {link}","codexUpgradeModal.close":"Kapat","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Daha fazla bilgi al","codexUpgradeModal.title":"GPT-5.3-Codex ile tanışın","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex’i şimdi dene","codexUpgradeModal.useExistingModel":"Mevcut modelle devam et","commentAttachments.numComments":"{count, plural, one {# yorum} other {# yorum}}","commentAttachments.removeAriaLabel":"Yorum ekini kaldır","common.close":"Kapat","composer.addContext.openFilePickerError":"Dosya seçici açılamıyor","composer.addContextDropdown.ariaLabel":"Dosyaları ve daha fazlasını ekle","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Dosyaları ve daha fazlasını ekle","composer.addPhotosAndFiles":"Fotoğraf ve dosya ekle","composer.atMentionList.emptyQuery":"Dosya aramak için yaz","composer.atMentionList.loading":"Dosyalar aranıyor...","composer.atMentionList.noResults":"Sonuç yok","composer.attemptsSelector.option":"{count, plural, one {# sürüm} other {# sürüm}}","composer.attemptsSelector.tooltip":"Codex’in yapacağı paralel deneme sayısı","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"{count, plural, one {# terminal} other {# terminal}} çalıştırılıyor","composer.backgroundTerminals.stop":"Durdur","composer.cleanBackgroundTerminals.error":"Arka plan terminalleri durdurulamıyor.","composer.cloudFollowUp.cloud":"Bulut","composer.cloudFollowUp.local":"Yerel","composer.cloudFollowUp.whereRun":"Bu takip nerede yürütülsün?","composer.cloudTaskCreationError":"Bulut görevi oluşturma hatası","composer.cloudTaskError":"Görev oluşturma hatası","composer.contextWindow.autoCompactionTooltipLine1":"Codex, bağlamını otomatik olarak sıkıştırır","composer.contextWindow.usagePercent":"%{usage}","composer.contextWindowUsageLabel":"Bağlam penceresi:","composer.contextWindowUsageStatusFull":"%{usage} dolu","composer.contextWindowUsageStatusLeft":"%{usage} kullanıldı (%{remaining} kaldı)","composer.contextWindowUsageTooltip":"{usedTokens}000 / {contextWindow}000 token kullanıldı","composer.customCliTooltip":"Çalıştırılabilir özel bir CLI kullanılıyor","composer.dictation.aria":"Dikte et","composer.dictation.cancel.aria":"Dikteyi durdur","composer.dictation.cancel.tooltip":"Dikteyi durdur","composer.dictation.startError":"Dikte başlatılamıyor","composer.dictation.submit.aria":"Deşifre et ve gönder","composer.dictation.submit.tooltip":"Deşifre et ve gönder","composer.dictation.tooltip":"Dikte etmek basılı tut","composer.dictation.transcribeError":"Ses deşifre edilemiyor","composer.dictation.unsupported":"Dikte özelliği bu cihazda kullanılamıyor","composer.dropOverlay.holdShift":"Bırakmak için {key} görselini tut","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Yeni ortam oluştur","composer.environmentSelector.error":"Ortam yükleme hatası","composer.environmentSelector.goBack":"Birleştiriciye geri dön","composer.environmentSelector.title":"Ortam seç","composer.environmentSelector.tooltip":"Bir bulut ortamı seç","composer.feedbackSlashCommand.title":"Geri Bildirim","composer.filePicker.selectFile":"Bir dosya seç","composer.filePicker.selectFiles":"Dosyaları seç","composer.followerTooltip":"Devam etmek için, bu konuşmanın başladığı pencereye geri dön.","composer.footer.branchSwitch.checkoutError":"Dal değiştirilemedi: {message}","composer.footer.branchSwitch.createAndCheckout":"Yeni bir dal oluştur ve checkout et…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Yeni bir dal oluşturmak ve checkout etmek için değişiklikleri commit et","composer.footer.branchSwitch.createBranchError":"Dal oluşturulamadı: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Dal adı","composer.footer.branchSwitch.createDialog.branchExistsError":"Dal zaten var.","composer.footer.branchSwitch.createDialog.close":"Kapat","composer.footer.branchSwitch.createDialog.createAndCheckout":"Oluştur ve checkout et","composer.footer.branchSwitch.createDialog.placeholder":"yeni-dal","composer.footer.branchSwitch.createDialog.title":"Dalı oluştur ve checkout et","composer.footer.branchSwitch.createDialog.trailingSlashError":"Dal adı “/” ile bitemez.","composer.footer.branchSwitch.tooltip":"Dalı değiştir","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} dalını check out etmek için {fileCount, plural, one {# dosya} other {# dosya}} üzerindeki değişiklikleri commit et.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit koşulu:","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} dalını check out etmek için {fileCount, plural, one {# dosya} other {# dosya}} üzerindeki değişiklikleri commit et.","composer.footer.branchSwitch.uncommittedDialog.cancel":"İptal et","composer.footer.branchSwitch.uncommittedDialog.commit":"Commit et ve dalı değiştir…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Checkout ettiğinde, şu dosyalarda yaptığın değişikliklerin üzerine yazılır:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Devam etmek için lütfen değişiklikleri commit et","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"seçili dal","composer.footer.branchSwitch.uncommittedDialog.title":"Dalı değiştirmek için değişiklikleri commit et","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Commit edilmemiş: {fileCount, plural, one {# dosya} other {# dosya}}","composer.forkSlashCommand.description":"Bu mesaj dizisini yerele veya bir worktree dizinine çatalla","composer.forkSlashCommand.option.local.description":"Yeni bir mesaj dizisinde devam et","composer.forkSlashCommand.option.local.title":"Yerele çatalla","composer.forkSlashCommand.option.worktree.description":"Yeni worktree’de devam et","composer.forkSlashCommand.option.worktree.title":"Yeni worktree’ye çatalla","composer.forkSlashCommand.title":"Çatalla","composer.ideContextIndicator":"IDE bağlamı","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE’den, {br} seçim durumu ve açık dosyalar gibi bağlamları ekle.","composer.ideContextIndicator.tooltipToggle":"ile değiştir","composer.ideContextSlashCommand.disableDescription":"IDE bağlamını kapat","composer.ideContextSlashCommand.enableDescription":"Mevcut seçimi, açık dosyaları ve IDE’ndeki diğer bağlamı dâhil et","composer.ideContextSlashCommand.title":"IDE bağlamı","composer.imageInputsUnsupported":"Bu model görsel girdilerini desteklemiyor. Farklı bir model dene.","composer.imageUploadFailed":"Görsel yüklenemedi","composer.includeIdeContextDropdown":"IDE bağlamını dâhil et","composer.includeIdeContextDropdown.ariaLabel":"IDE bağlamını dâhil et","composer.localCwdDropdown.addWorkspaceRoot":"Yeni proje ekle","composer.localCwdDropdown.noActiveRoot":"Projeni seç","composer.localCwdDropdown.noResults":"Klasör bulunamadı","composer.localCwdDropdown.title":"Projeni seç","composer.localTaskError":"Konuşma başlatma hatası","composer.mcpSlashCommand.description":"MCP sunucu durumunu göster","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Kimlik doğrulanamadı","composer.mcpStatus.authOauth":"Kimlik doğrulandı (OAuth)","composer.mcpStatus.authToken":"Kimlik doğrulandı (API anahtarı)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Kapat","composer.mcpStatus.disabled":"Devre dışı bırakıldı","composer.mcpStatus.emptyLabel":"Sunucular:","composer.mcpStatus.emptyValue":"Yapılandırılmış MCP sunucusu yok","composer.mcpStatus.enabled":"Etkin","composer.mcpStatus.errorLabel":"Durum:","composer.mcpStatus.errorValue":"MCP durumu yüklenemiyor","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Ajan","composer.mode.agentMode.auto.dropdownLabel":"Ajan","composer.mode.agentMode.auto.optionLabel":"Ajan","composer.mode.agentMode.changePermission":"Modu değiştir","composer.mode.agentMode.custom":"Özel","composer.mode.agentMode.custom.dropdownLabel":"Özel","composer.mode.agentMode.custom.option":"Özel (config.toml)","composer.mode.agentMode.custom.optionLabel":"Özel (config.toml)","composer.mode.agentMode.customInfo.cancel":"İptal et","composer.mode.agentMode.customInfo.cli":"Bu ayarları CLI’den veya doğrudan dosyayı düzenleyerek değiştirebilirsin.","composer.mode.agentMode.customInfo.confirm":"Özel modu kullan","composer.mode.agentMode.customInfo.description":"Özel mod, <link>config.toml dosyanda tanımlanan</link> onay ve sanal ortam politikalarını uygular.","composer.mode.agentMode.customInfo.docs":"Onay ve sanal ortam politikalarını yapılandırma hakkında daha fazla bilgiyi <link>yürütme ortamı belgelerinde bulabilirsin</link>.","composer.mode.agentMode.customInfo.refresh":"Yapılan değişiklikler, ajanın bir sonraki çalışmasında geçerlilik kazanır.","composer.mode.agentMode.customInfo.title":"Özel mod nasıl çalışır?","composer.mode.agentMode.fullAccess":"Ajan (tam erişim)","composer.mode.agentMode.fullAccess.dropdownLabel":"Ajan (tam erişim)","composer.mode.agentMode.fullAccess.optionLabel":"Ajan (tam erişim)","composer.mode.agentMode.fullAccessConfirm.caution":"Tam erişimi etkinleştirirken dikkatli ol. Bu işlem; veri kaybı, veri sızıntısı ve beklenmeyen davranış risklerini önemli oranda artırır.","composer.mode.agentMode.fullAccessConfirm.confirm":"Evet, yine de devam et","composer.mode.agentMode.fullAccessConfirm.description":"Codex tam erişimle çalıştığında, onayın olmadan bilgisayarındaki tüm dosyaları düzenleyebilir ve ağda komutları çalıştırabilir.","composer.mode.agentMode.fullAccessConfirm.goBack":"İptal et","composer.mode.agentMode.fullAccessConfirm.title":"Tam erişim etkinleştirilsin mi?","composer.mode.agentMode.readOnly":"Sohbet","composer.mode.agentMode.readOnly.dropdownLabel":"Sohbet","composer.mode.agentMode.readOnly.optionLabel":"Sohbet","composer.mode.agentMode.tooltip":"Modu değiştir","composer.mode.agentMode.tooltip.auto":"Dosyaları oku ve düzenle, komutları çalıştır.","composer.mode.agentMode.tooltip.custom":"config.toml dosyasında tanımlanan en yeni onay ve sanal ortam politikalarını kullan.","composer.mode.agentMode.tooltip.fullAccess":"Codex bu proje dışında dosyaları düzenleyebilir ve ağ erişimiyle komutları çalıştırabilir. Bunu kullanırken dikkatli ol.","composer.mode.agentMode.tooltip.readOnly":"Dosyaları düzenlemek ve komutları çalıştırmak için onay gerekir.","composer.mode.cloud.tooltip":"Bir bulut ortamında çalış","composer.mode.contactAdmin":"Daha fazla erişim için yöneticinle iletişime geç","composer.mode.local":"Yerel","composer.mode.local.learnMore":"Daha fazla bilgi al","composer.mode.local.model.custom":"Özel","composer.mode.local.model.loadingModel":"Model yükleniyor…","composer.mode.local.model.selecrReasoningEffort":"Akıl yürütme seç","composer.mode.local.model.selectModel":"Model seç","composer.mode.local.model.tooltip":"Model seç","composer.mode.local.ratePercent":"%{usage}","composer.mode.local.reasoning.high.label":"Yüksek","composer.mode.local.reasoning.low.label":"Düşük","composer.mode.local.reasoning.medium.label":"Orta","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Yok","composer.mode.local.reasoning.xhigh.label":"Ekstra Yüksek","composer.mode.localRemoteWhereRun":"Görevi nerede çalıştıracağını seç","composer.mode.newTask.header":"Şurada devam et:","composer.mode.rateLimit.day":"{days} gün","composer.mode.rateLimit.heading":"Kalan istek limiti","composer.mode.rateLimit.hour":"{hours} sa.","composer.mode.rateLimit.minute":"{minutes} dk.","composer.mode.rateLimit.modelSectionLabel":"{modelName} limiti:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {haftalık limit} other {{weeks} haftalık limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Haftalık} other {{weeks} Haftalık}}","composer.mode.remote.connectToCloud":"Codex web’i bağla","composer.mode.remote.connectToCloudDisabledTooltip":"Görevleri buluta gönderebilmek için Codex web üzerinden bir ortam ayarla","composer.mode.remote.selectEnvironment":"Ortam seç","composer.mode.remote.sendToCloud":"Buluta gönder","composer.mode.remote.setupViaWeb":"Codex web üzerinden bir ortam ayarla","composer.mode.runInCloud":"Bulut","composer.mode.runInCloudWithEnvironment":"Bulut · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Bulut ortamında çalış","composer.mode.segmentedToggle.local.tooltip":"Yerel projende çalış","composer.mode.segmentedToggle.worktree.tooltip":"Paralel bir worktree’de çalış","composer.mode.upgradeToPlus":"Plus’a Yükselt","composer.mode.upgradeToPro":"Pro'ya yükselt","composer.mode.workLocally":"Yerel proje","composer.mode.workLocally.currentBranchFallback":"dalın","composer.mode.workLocally.tooltip":"{branchName} üzerinde çalış","composer.mode.worktree":"Worktree dizini","composer.mode.worktree.submoduleWarning":"Bu depoda git alt modülleri var. Worktree oluşturma işlemi başarısız olabilir","composer.mode.worktree.tooltip":"Paralel olarak çalışmak için yerel projenin bir kopyasını oluştur","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Konuşma sırasında model değiştirmek performansı düşürür.","composer.newChat.heading.browser":"Şimdi ne kodlayalım?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex, config.toml dosyasında tanımlanan izni kullanır.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex, bilgisayarına tam erişime sahiptir (yüksek risk)","composer.permissionsDropdown.custom.label":"Özel (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Özel (config.toml)","composer.permissionsDropdown.default.label":"Varsayılan izinler","composer.permissionsDropdown.default.optionLabel":"Varsayılan izinler","composer.permissionsDropdown.default.tooltip":"Codex, komutları otomatik olarak sanal ortamda çalıştırır","composer.permissionsDropdown.disabled.requirements":"İzinler requirements.toml tarafından kilitlendi","composer.permissionsDropdown.fullAccess.disabled":"Tam erişim modu, requirements.toml tarafından devre dışı bırakıldı","composer.permissionsDropdown.fullAccess.label":"Tam erişim","composer.permissionsDropdown.fullAccess.optionLabel":"Tam erişim","composer.permissionsDropdown.trigger.tooltip":"İzinleri değiştir","composer.personalitySlashCommand.description.friendly":"Sıcakkanlı, iş birliği odaklı ve yardımsever","composer.personalitySlashCommand.description.pragmatic":"Kısa, öz, görev odaklı ve doğrudan","composer.personalitySlashCommand.label.friendly":"Arkadaşça","composer.personalitySlashCommand.label.pragmatic":"Pragmatik","composer.personalitySlashCommand.notApplicableSuffix":"(Mevcut model için geçerli değil)","composer.personalitySlashCommand.title":"Kişilik","composer.placeholder.cloudFollowUp.directFollowUp":"Bu bulut görevini takip et","composer.placeholder.cloudFollowUp.local":"Bu bulut görevini referans alan yeni bir yerel görev oluştur","composer.placeholder.cloudFollowUp.workingTree":"Mevcut kodunu içeren ve bu görevi referans alacak yeni bir bulut görevi oluştur.","composer.placeholder.localFollowUp.cloud":"Yeni bir bulut görevinde takip et","composer.placeholder.localFollowUp.locally":"Takip değişikliklerini iste","composer.placeholder.newTask.cloud":"Codex’ten bulutta herhangi bir şey yapmasını iste","composer.placeholder.newTask.doAnything":"Codex’ten herhangi bir şey yapmasını iste","composer.placeholder.newTask.locally":"Codex’e her şeyi sorabilirsin. @ ile dosya ekle, / ile komutları kullan.","composer.planModeDropdown":"Plan modu","composer.planModeDropdown.ariaLabel":"Plan modu","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex ile bir plan oluştur","composer.planModeIndicator.tooltipToggle":"ile değiştir","composer.planSlashCommand.disableDescription":"Plan modunu kapat","composer.planSlashCommand.enableDescription":"Plan modunu aç","composer.planSlashCommand.title":"Plan modu","composer.priorContext.label":"Önceki bağlam","composer.priorContext.removeAriaLabel":"Önceki bağlamı kaldır","composer.queuedMessage.delete":"Sıraya alınan mesajı sil","composer.queuedMessage.edit":"İletiyi düzenle","composer.queuedMessage.more":"Sıraya alınan mesaj eylemleri","composer.queuedMessage.sendNow":"Yönlendir","composer.queuedMessage.sendNowTooltip":"Çalışmayı yarıda kesmeden şimdi gönder","composer.queuedMessage.turnOff":"Sıraya almayı kapat","composer.reasoningEffort.local.reasoning.tooltip":"Akıl yürütme çabası seç","composer.remote.branchStartingPoint":"Bu görev hangi daldan başlatılsın?","composer.remote.branchesSectionHeading":"Dallar","composer.remote.currentEditsSuffix.followUp":"Bu bulut görevini referans alan yeni bir görev oluştur.","composer.remote.currentEditsSuffix.useLocal":"yerel kod değişikliklerini içerir","composer.remote.directFollowUp":"Yerel değişiklikleri kullanma","composer.remote.errorLoadingBranches":"Dal yükleme hatası","composer.remote.fromBranch":"{branch} başlangıç noktasından","composer.remote.fromCurrentBranch":"{branch} başlangıç noktasından (mevcut)","composer.remote.loadingMoreBranches":"Yükleniyor...","composer.remote.localFileStateHeading":"Yerel dosya durumu","composer.remote.localWorkingTree":"Yerel değişiklikleri kullan","composer.remote.startingPoint":"Bu görev hangi koddan başlatılsın?","composer.reviewMode.branches.error":"Dallar yüklenemiyor","composer.reviewMode.branches.retry":"Yeniden dene","composer.reviewMode.gitRoot.error":"Git kök dizini bulunamadı","composer.reviewMode.option.baseBranch.simple":"Ana dala göre incele","composer.reviewMode.option.unstaged.simple":"Commit edilmemiş değişiklikleri incele","composer.reviewMode.quickReviewError":"Kod incelemesi başlatılamadı.","composer.reviewMode.title":"Kodu gözden geçir","composer.sandboxButton.unlock.disabled.tooltip":"Tam erişim modu, requirements.toml tarafından devre dışı bırakıldı","composer.sandboxButton.windowsSandboxDialog.content":"Codex, dosya sistemini ve ağ erişimini sınırlandırmak için Windows’ta deneysel bir sanal ortam kullanır. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows sanal ortamı etkinleştirilsin mi?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Salt okunur olarak kullan","composer.searchEnvironments":"Ortamları ara","composer.skillMentionList.app":"Uygulama","composer.skillMentionList.appLogoAlt":"{name} logosu","composer.skillMentionList.loading":"Beceriler yükleniyor...","composer.skillMentionList.noResults":"Hiçbir beceri bulunamadı","composer.slashCommands.cloudEnvironment.title":"Bulut ortamı","composer.slashCommands.dialogLabel":"Slash komut menüsü","composer.slashCommands.dialogTitle":"Slash komutları","composer.slashCommands.disabledTooltip":"Slash komutlarını kullanmak için yeni bir konuşma başlat","composer.slashCommands.inputPlaceholder":"Ara","composer.slashCommands.noResults":"Komut yok","composer.slashCommands.skillsGroup":"Beceriler","composer.slashCommands.tooltip":"Slash komutlarına göz at","composer.status.close":"Kapat","composer.statusPlain.alertLabel":"Uyarı:","composer.statusPlain.alertValue":"{window} itibarıyla %{remaining} kaldı","composer.statusPlain.contextLabel":"Bağlam:","composer.statusPlain.contextTotal":"{count}000","composer.statusPlain.contextValueMetadata":"(Toplam {total} tokenden {used} token kullanıldı)","composer.statusPlain.contextValueRemaining":"%{remaining} kaldı","composer.statusPlain.heading":"Durum","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limiti:","composer.statusPlain.rateLimitDays":"{count} gün limiti","composer.statusPlain.rateLimitFallbackLabel":"İstek limiti:","composer.statusPlain.rateLimitHours":"{count} sa. limiti","composer.statusPlain.rateLimitLabelBase":"İstek limiti","composer.statusPlain.rateLimitMinutes":"{count} dk. limiti","composer.statusPlain.rateLimitPercent":"%{remaining} kaldı","composer.statusPlain.rateLimitReset":"{time} itibarıyla sıfırlanır","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"sıfırlama zamanı mevcut değil","composer.statusPlain.rateLimitUnavailable":"Alınamıyor","composer.statusPlain.sessionCopiedAriaLabel":"Oturum kimliği kopyalandı","composer.statusPlain.sessionCopiedTooltip":"Kimlik kopyalandı","composer.statusPlain.sessionCopyAriaLabel":"Oturum kimliğini kopyala","composer.statusPlain.sessionCopyTooltip":"Kimliği kopyala","composer.statusPlain.sessionLabel":"Oturum:","composer.statusSlashCommand.description":"Mesaj dizisi kimliğini, bağlam kullanımını ve istek limitlerini göster","composer.statusSlashCommand.title":"Durum","composer.submit.blockedDialogOk":"Tamam","composer.submit.blockedDialogTitle":"İleti gönderilemiyor","composer.submit.emptyMessage":"Başlamak için bir ileti gir","composer.submit.imageInputsUnsupported":"Mesaj göndermek için görselleri kaldır veya model değiştir.","composer.submit.loadingLocalConfig":"Yükleniyor...","composer.submit.missingCloudConfig":"Bir bulut ortamı seçmen gerekiyor","composer.submit.missingCloudTurn":"Bu görev takip edilemiyor","composer.submit.noWorkspace":"Codex’i kullanmak için bir proje ekle","composer.submit.waitForImageUploads":"Görseller karşıya yükleniyor...","composer.submitButtonTooltip.send":"Gönder","composer.submitButtonTooltip.stop":"Durdur","composer.worktreeEnvironment.create":"Yerel ortam oluştur","composer.worktreeEnvironment.default":"Varsayılan ortam","composer.worktreeEnvironment.error":"Ortam yükleme hatası","composer.worktreeEnvironment.loading":"Ortamlar yükleniyor...","composer.worktreeEnvironment.title":"Yerel ortam","composer.worktreeEnvironment.tooltip":"Yerel ortam seç","composer.worktreeSetupFailed":"Worktree kurulumu başarısız oldu. Kurulum komut dosyası için .codex/environments klasörünü kontrol et.","compoundButton.secondaryAction":"İkincil eylem","copyButton.copied":"Kopyalandı","copyButton.copiedAriaLabel":"Kopyalandı","copyButton.copy":"Kopyala","copyButton.copyAriaLabel":"Kopyala","copyButton.copyCode":"Kodu kopyala","diff.actionButton.revertFile":"Dosyadaki değişiklikleri geri al","diff.actionButton.revertHunk":"Değişikliği geri al","diff.actionButton.revertSection":"Tüm değişiklikleri geri al","diff.actionButton.revertSectionLabel":"Tüm değişiklikleri geri al","diff.actionButton.stageFile":"Dosyayı staging alanına al","diff.actionButton.stageHunk":"Staging Alanına Al","diff.actionButton.stageSection":"Tümünü staging alanına al","diff.actionButton.stageSectionLabel":"Tümünü staging alanına al","diff.actionButton.unstageFile":"Dosyayı staging alanına alma","diff.actionButton.unstageHunk":"Staging Alanına Alma","diff.actionButton.unstageSection":"Hiçbirini staging alanına alma","diff.actionButton.unstageSectionLabel":"Hiçbirini staging alanına alma","diff.fileHeader.toggle":"Dosya diff’ini değiştir","electron.onboarding.login.apikey.cancel":"İptal et","electron.onboarding.login.apikey.continue":"Devam et","electron.onboarding.login.apikey.label":"OpenAI API anahtarı","electron.onboarding.login.apikey.open":"API anahtarını gir","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Oturum açmayı iptal et","electron.onboarding.login.chatgpt.continue":"ChatGPT ile devam et","electron.onboarding.login.devbox":"Uzak bir SSH’ye bağlan","electron.onboarding.login.error":"Oturum açılamadı: {rawMessage}","electron.onboarding.login.snake.start":"Snake oyna","electron.onboarding.login.sshConfig.cancel":"İptal et","electron.onboarding.login.sshConfig.continue":"Devam et","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Sunucu adı","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Ajanlarla bir şeyler geliştirmenin en iyi yolu","electron.onboarding.login.title":"Codex’e hoş geldin","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Devam et","electron.onboarding.welcome.doubleLimits.description":"Codex uygulamasının yayınlanmasını kutlamak için, sana 2 Nisan’a kadar 2 kat daha fazla istek limiti veriyoruz.","electron.onboarding.welcome.freego.description":"Codex, 2 Mart’a kadar planına ücretsiz olarak dâhildir. Hadi birlikte bir şeyler geliştirmeye başlayalım.","electron.onboarding.welcome.new.title.anon":"Hoş geldin!","electron.onboarding.workspace.continue":"Devam et","electron.onboarding.workspace.empty":"Devam etmek için bir proje ekle.","electron.onboarding.workspace.listLabel":"Mevcut projeler","electron.onboarding.workspace.loading":"Projeler yükleniyor...","electron.onboarding.workspace.openFolder":"Proje ekle","electron.onboarding.workspace.selectAll":"Tümünü seç","electron.onboarding.workspace.skip":"Atla","electron.onboarding.workspace.skip.error":"Yeni proje oluşturulamadı: {message}","electron.onboarding.workspace.skip.error.unknown":"Bilinmeyen hata","electron.onboarding.workspace.skipping":"Yeni bir proje oluşturuluyor...","electron.onboarding.workspace.subtitle":"Codex, seçili klasörlerde dosyaları düzenleyebilecek ve komutlar çalıştırabilecek.","electron.onboarding.workspace.title":"Proje seç","errorPage.list.checkSettings":"IDE ayarlarını güncellemeyi dene","errorPage.list.configToml":"Geçersiz ayarlar için config.toml dosyanı kontrol et","errorPage.list.downloadExtension":"Uzantının farklı bir sürümünü indirmeyi dene","errorPage.list.runInWsl":"Uyumluluk sorunlarıyla karşılaşıyorsan WSL’de çalıştırma özelliğini devre dışı bırakmak için ayarlarını kontrol et","execApprovalRequest.menu.runAlways":"Evet, bu oturumda bir daha sorma","execApprovalRequest.menu.runAlwaysWithAmendment":"Evet, {command} ile başlayan komutlar için tekrar sorma","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Evet, bununla başlayan komutlar için tekrar sorma","execApprovalRequest.menu.runOnce":"Evet","execApprovalRequest.prompt":"Bu komutu çalıştırmak istiyor musun?","execApprovalRequest.reject":"Hayır","execFooter.exitCode":"Çıkış kodu {code}","execFooter.exitCode.unknown":"bilinmeyen","execFooter.success":"Başarılı","feedback.dialog.category.badResult":"Kötü sonuç","feedback.dialog.category.bug":"Hata","feedback.dialog.category.goodResult":"İyi sonuç","feedback.dialog.category.other":"Diğer","feedback.dialog.category.safetyCheck":"Güvenlik kontrolü","feedback.dialog.descriptionPlaceholder":"Sorunu burada açıkla","feedback.dialog.dismiss":"Kapat","feedback.dialog.includeLogsLabel":"Mevcut Codex oturum günlüklerini dâhil et","feedback.dialog.submit":"Gönder","feedback.dialog.submitError":"Geri bildirimini gönderemedik. Lütfen biraz sonra tekrar dene.","feedback.dialog.title":"Geri Bildirim","feedback.dialog.uploadedMessage.existingIssue":"mevcut çözümlenmemiş sorun","feedback.dialog.uploadedMessage.openIssue":"bir GitHub sorununu aç","feedback.dialog.uploadedMessage.withThread":"Geri bildirim yüklendi. Sorun devam ederse lütfen {openIssueLink} veya {existingIssueLink} içindeki mesaj dizini kimliğinden bahset:","feedback.dialog.uploadedTitle":"Geri bildirim yüklendi","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} ekini kaldır","header.back":"Geri","header.recentChats":"Görevler","header.recentTasks.seeAll":"Tümünü görüntüle ({total})","home.header.getPlus":"Plus planına katıl","home.hero.letsBuild":"Bir şeyler geliştirelim","homePage.mainContent":"Ana içerik","imageAttachment.defaultName":"görsel","imageAttachment.preview.close":"Görsel ön izlemesini kapat","imageAttachment.removeAriaLabel":"{filename} ekini kaldır","implementPlanRequest.option.implement":"Evet, bu planı uygula","implementPlanRequest.prompt":"Bu plan uygulansın mı?","inbox.archived.deleteError":"Arşivlenen çalıştırma silinemedi","inbox.archived.deleteRun":"Arşivlenen çalıştırmayı sil","inbox.archived.deleteSuccess":"Arşivlenen mesaj dizisi silindi. <settingsLink>Arşivlenmiş mesaj dizilerinde</settingsLink> görüntüle.","inbox.archived.inlineLabel.auto":"Bu mesaj dizisi otomatik olarak arşivlendi. <learnMoreLink>Daha fazla bilgi al</learnMoreLink>","inbox.archived.inlineLabel.manual":"Bu mesaj dizisi arşivlendi.","inbox.archived.noMessageFound":"Mesaj bulunamadı","inbox.automations.createError":"Otomasyon oluşturulamadı","inbox.automations.deleteConfirm.cancel":"İptal et","inbox.automations.deleteConfirm.confirm":"Otomasyonu sil","inbox.automations.deleteConfirm.description":"Bu işlem otomasyonu kalıcı olarak silecek ve gelecekteki çalıştırmaları durduracak.","inbox.automations.deleteConfirm.title":"{name} silinsin mi?","inbox.automations.deleteError":"Otomasyon silinemedi","inbox.automations.editTooltip":"Otomasyonu düzenle","inbox.automations.inProgress":"Devam ediyor","inbox.automations.new":"Yeni","inbox.automations.newToolbar":"Yeni otomasyon","inbox.automations.pauseTooltip":"Otomasyonu duraklat","inbox.automations.resumeTooltip":"Otomasyonu sürdür","inbox.automations.startingNow":"Şimdi başlatılıyor","inbox.automations.startsIn":"{startTime} sonra başlayacak","inbox.automations.status.active":"Etkin","inbox.automations.status.paused":"Duraklatıldı","inbox.automations.status.runs":"{count} çalıştırma","inbox.automations.status.started":"{date} tarihinde başladı","inbox.automations.updateError":"Otomasyon güncellenemedi","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tümü","inbox.filter.ariaLabel":"Gelen kutusu öğelerini filtrele","inbox.filter.unread":"Okunmamış","inbox.list.archived":"Arşivlenenler","inbox.list.inProgress":"Devam ediyor","inbox.list.recent":"Tamamlandı","inbox.list.upNext":"Zamanlandı","inbox.mode.automations":"Otomasyonlar","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Açıklama sağlanmadı","inbox.openThread":"Mesaj dizisini aç","inbox.rightPanel.emptySubtitle":"Zamanlanmış görevler ayarlayarak işleri otomatikleştir","inbox.rightPanel.emptySubtitle.learnMore":"Zamanlanmış mesaj dizileri ayarlayarak işleri otomatikleştir. <link>Daha fazla bilgi al</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktif otomasyon} other {# aktif otomasyon}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Okunmamış otomasyon yok","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# okunmamış otomasyon} other {# okunmamış otomasyon}}","inbox.rightPanel.emptyTitle":"Seçili öğe yok","inbox.rightPanel.noThread":"Bu öğe için mesaj dizisi yok","inbox.rightPanel.quickStart.header":"Bir şablonla başla","inbox.untitled":"İsimsiz gelen kutusu öğesi","loadingPage.documentationLink":"belgeler","loadingPage.errorDescription":"Codex aşağıdaki hatayı vererek çöktü:","loadingPage.errorDescription.documentation":"Codex uzantısını yeniden başlatmak için “yeniden yükle” öğesine tıkla veya daha fazla yardım için {documentationLink} sayfamıza bak.","loadingPage.errorSignal":"Şunları deneyebilirsin:","loadingPage.errorTitle":"Bir hata oluştu","loadingPage.openConfigToml":"Config.toml dosyasını aç","loadingPage.reload":"Yeniden yükle","localConversation.contextCompacted":"Bağlam otomatik olarak sıkıştırıldı","localConversation.contextCompacting":"Bağlam otomatik olarak sıkıştırılıyor","localConversation.finalAssistantMessageDivider":"Son mesaj","localConversation.forkedFromConversation":"{threadTitle} mesaj dizisinden çatallandı","localConversation.merge.autoResolve.failed":"Otomatik çözümleme isteği başarısız oldu: {error}","localConversation.merge.autoResolve.sent":"Otomatik çözümleme isteği gönderildi","localConversation.merge.autoResolveMerge.missingConversation":"Aktif bir konuşma olmadan otomatik çözümleme yapılamıyor.","localConversation.merge.autoResolveMerge.request":"Birleştirme çakışmalarını otomatik olarak çözümle","localConversation.modelChanged":"{fromModel} olan model {toModel} olarak değiştirildi.","localConversation.modelChanged.warning.line1":"Konuşma sırasında model değiştirmek performansı düşürür.","localConversation.modelChanged.warning.line2":"Bağlam otomatik olarak sıkıştırılabilir.","localConversation.modelRerouted":"İsteğin {toModel} modeline yönlendirildi.","localConversation.modelRerouted.warning.line1":"Siber taciz riskini azaltmak amacıyla isteğinin yeniden yönlendirildiğinin bilgisini vermek istedik.","localConversation.modelRerouted.warning.line2":"Bunun bir hata olduğunu mu düşünüyorsun? <link>chatgpt.com/cyber adresinde inceleme talebinde bulunabilirsin.</link> Alternatif olarak /feedback aracılığıyla bildirebilirsin.","localConversation.moveThread.createBranch.label":"Dal oluştur","localConversation.moveToLocal.disabled.branchCheckedOut":"Bu dal zaten başka bir worktree üzerinde checkout edildi","localConversation.moveToLocal.disabled.loading":"Yükleniyor...","localConversation.moveToLocal.disabled.missingSourceHead":"Worktree HEAD commit’i çözümlenemiyor","localConversation.moveToLocal.disabled.noWorkspace":"Bu worktree için yerel çalışma alanı bulunamadı","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"Şu anda taşınamıyor. Yerel çalışma alanı durumunu kontrol et ve tekrar dene.","localConversation.moveToLocal.error.rollbackIssues":"Geriye dönme sorunları: {issues}","localConversation.moveToLocal.label":"Yerele taşı","localConversation.moveToLocal.loading.subtitle":"Worktree değişikliklerin yerele taşınıyor...","localConversation.moveToLocal.loading.title":"Yerele taşınıyor","localConversation.moveToLocal.modal.continue":"Devam et","localConversation.moveToLocal.modal.destinationLabel":"Şuraya taşı:","localConversation.moveToLocal.modal.retry":"Yeniden dene","localConversation.moveToLocal.modal.subtitle":"Bu worktree ve commit edilmemiş değişiklikler yerel checkout’una geri taşınacak.","localConversation.moveToLocal.modal.title":"Yerele taşı","localConversation.moveToWorktree.error.branchRequired":"Worktree dal adı gerekli","localConversation.moveToWorktree.error.createWorktree":"Worktree oluşturulamadı: {message}","localConversation.moveToWorktree.error.move":"Worktree taşınamadı: {message}","localConversation.moveToWorktree.error.prepareBranch":"Worktree dalı hazırlanamadı “{branch}”: {message}","localConversation.moveToWorktree.error.rollbackIssues":"Geriye dönme sorunları: {issues}","localConversation.moveToWorktree.error.unknown":"Worktree taşınamadı. Lütfen tekrar dene.","localConversation.moveToWorktree.label":"Worktree’ye taşı","localConversation.moveToWorktree.loading.subtitle":"Worktree ayarların yapılıyor ve yerel değişiklikler taşınıyor...","localConversation.moveToWorktree.loading.title":"Worktree’ye taşınıyor","localConversation.moveToWorktree.modal.back":"Geri","localConversation.moveToWorktree.modal.branchAlreadyExists":"Dal zaten var","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Dal zaten var.","localConversation.moveToWorktree.modal.branchesError":"Dallar yüklenemiyor","localConversation.moveToWorktree.modal.branchesLoading":"Dallar yükleniyor...","localConversation.moveToWorktree.modal.branchesRetry":"Yeniden dene","localConversation.moveToWorktree.modal.continue":"Devam et","localConversation.moveToWorktree.modal.defaultBranchError":"Worktree dalı varsayılan daldan farklı olmalı.","localConversation.moveToWorktree.modal.localBranchLabel":"Yerel dal","localConversation.moveToWorktree.modal.localBranchPlaceholder":"Yerel checkout dalı seç","localConversation.moveToWorktree.modal.noTargetBranch":"Başka yerel dal yok","localConversation.moveToWorktree.modal.retry":"Yeniden dene","localConversation.moveToWorktree.modal.subtitle":"Bu dal ve commit edilmemiş tüm değişiklikler bir worktree’ye taşınacak. Bunun yerine yerel olarak farklı bir dalı checkout etmen gerekir.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex bu mesaj dizisi için yeni bir worktree oluşturacak.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"Bir worktree dal adı seç. Codex, varsayılan dal yerine bunu kullanacak.","localConversation.moveToWorktree.modal.subtitle.loading":"Mevcut worktree aranıyor...","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"Bu dal bir worktree’ye taşınacak. Mevcut yerel dalın checkout edilmiş olarak kalacak.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex bu mesaj dizisi için mevcut worktree’yi yeniden kullanacak.","localConversation.moveToWorktree.modal.title":"Worktree’ye taşı","localConversation.moveToWorktree.modal.trailingSlashError":"Dal adı “/” ile bitemez.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Worktree dal adı","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Worktree dalı","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"yeni-dal","localConversation.personalityChanged":"{personality} kişiliğine geçildi","localConversation.planSummary.collapse":"Plan özetini daralt","localConversation.planSummary.collapseTooltip":"Daralt","localConversation.planSummary.download":"Planı indir","localConversation.planSummary.expand":"Plan özetini genişlet","localConversation.planSummary.expandTooltip":"Genişlet","localConversation.planSummary.openInNewWindow":"Aç","localConversation.planSummary.openInNewWindow.tooltip":"Yeni pencerede aç","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plan yazılıyor","localConversation.planSummary.viewPlan":"Planı genişlet","localConversation.previousMessagesSummary":"{count, plural, one {önceki # mesaj} other {önceki # mesaj}}","localConversation.remoteTaskCreated":"Codex Cloud’da {taskLink} oluşturuldu","localConversation.remoteTaskCreated.task":"görev","localConversation.scrollToBottomButton":"En aşağı kaydır","localConversation.sync.buttonLabel":"Yerele devret","localConversation.sync.buttonLabel.tooltip":"Bu worktree ile yerel checkout’un arasındaki değişiklikleri devret.","localConversation.sync.modal.loading.title":"Değişiklikleri devret...","localConversation.sync.modal.noChanges":"Değişiklik yok","localConversation.syncSetup.branchAriaLabel":"Dal adı","localConversation.syncSetup.branchName":"Dal adı","localConversation.syncSetup.branchPlaceholder.existing":"Mevcut dalı seç","localConversation.syncSetup.branchPlaceholder.new":"codex/yeni-özellik","localConversation.syncSetup.branchesLoading":"Dallar yükleniyor...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Zaten checkout edildi","localConversation.syncSetup.checkoutClean":"Mevcut dal: {branchName}","localConversation.syncSetup.checkoutDirty":"Şu anda {branchName} üzerinde commit edilmemiş değişiklikler var","localConversation.syncSetup.checkoutError":"Dal checkout edilemedi: {message}","localConversation.syncSetup.checkoutLabel":"Şimdi yerel olarak checkout et","localConversation.syncSetup.checkoutOnLocal":"Yerele devret","localConversation.syncSetup.checkoutPending":"Yerel durum kontrol ediliyor...","localConversation.syncSetup.checkoutUnavailable":"Yerel çalışma alanı mevcut değil","localConversation.syncSetup.checkoutUnknown":"Yerel dal mevcut değil","localConversation.syncSetup.continue":"Devam et","localConversation.syncSetup.createBranchError":"Devretme dalı ayarlanamadı: {message}","localConversation.syncSetup.error":"Bir hata meydana geldi: {message}","localConversation.syncSetup.error.workingTreeMissing":"Worktree’nin anlık görüntüsü alınamıyor. Lütfen devretmeyi tekrar dene.","localConversation.syncSetup.mode.ariaLabel":"Dal modunu seç","localConversation.syncSetup.mode.existing":"Mevcut dal","localConversation.syncSetup.mode.new":"Yeni dal","localConversation.syncSetup.noBranches":"Dal bulunamadı","localConversation.syncSetup.overwriteError":"Dal oluşturuldu ancak henüz tam olarak devredilmedi. Yerel olarak checkout etmeden önce manuel olarak devret.","localConversation.syncSetup.setPrefix":"Ön ek ayarla","localConversation.syncSetup.subtitle":"Worktree’deki değişiklikleri yerel olarak test et ve düzenle. <a>Daha fazla bilgi al</a>","localConversation.syncSetup.success.checkedOut":"Dal oluşturuldu ve yerel olarak checkout edildi","localConversation.syncSetup.success.notCheckedOut":"Dal oluşturuldu","localConversation.syncSetup.title":"Yerel bir dala devret","localConversation.syncWorktreeError.branchAriaLabel":"Dal adı","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/yeni-özellik","localConversation.syncWorktreeError.branchSetup.subtitle":"Devredilecek dalı seç, ardından değişiklikleri yüklemeyi yeniden dene.","localConversation.syncWorktreeError.branchSetup.title":"Dalı güncelle","localConversation.syncWorktreeError.branchUpdate.cta":"Güncelle ve yeniden dene","localConversation.syncWorktreeError.branchUpdate.error":"Dal güncellenemedi: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Bir hata meydana geldi: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Dal hiçbir worktree’de checkout edilmedi.","localConversation.syncWorktreeV2.applyUncommitted":"Uygula","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Commit edilmemiş değişiklikleri uygulamak için dalı yerel olarak checkout etmelisin","localConversation.syncWorktreeV2.branches.empty":"Dal bulunamadı","localConversation.syncWorktreeV2.branches.loading":"Dallar yükleniyor...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Devir dalını değiştir","localConversation.syncWorktreeV2.changeBranch.error":"Devir dalı ayarlanamadı: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Uygulanamadı","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Worktree üzerine yazma başarısız","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Yerel olarak üzerine yazma başarısız","localConversation.syncWorktreeV2.commandError.back":"Geri","localConversation.syncWorktreeV2.commandError.body":"Git komutu devir sırasında başarısız oldu. Çıktıyı incele ve tekrar dene.","localConversation.syncWorktreeV2.commandError.retry":"Yeniden dene","localConversation.syncWorktreeV2.description":"Yerel ve bu worktree arasında değişiklikleri devret <a>Daha fazla bilgi al</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Devir yönünü seç","localConversation.syncWorktreeV2.error.generic":"Devredilirken bir hata oluştu. Tekrar dene.","localConversation.syncWorktreeV2.localBranchLabel":"Yerel","localConversation.syncWorktreeV2.noChanges":"Değişiklikler hesaplanıyor","localConversation.syncWorktreeV2.noChanges.summary":"Değişiklik yok","localConversation.syncWorktreeV2.overwrite.local":"Yerel olarak üzerine yaz","localConversation.syncWorktreeV2.overwrite.worktree":"Worktree üzerine yaz","localConversation.syncWorktreeV2.partial.action.applyFailed":"Değişiklikler uygulanamadı","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Yerel değişikliklerin üzerine yazılamadı","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Worktree değişikliklerinin üzerine yazılamadı","localConversation.syncWorktreeV2.partial.appliedLabel":"Uygulandı","localConversation.syncWorktreeV2.partial.back":"Geri","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Çatışmaları çöz ve tekrar dene.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Çakışmalar","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# dosya} other {# dosya}}","localConversation.syncWorktreeV2.partial.retry":"Yeniden dene","localConversation.syncWorktreeV2.partial.skippedLabel":"Atlandı","localConversation.syncWorktreeV2.stateFailed.generic":"Devredilecek worktree değişiklikleri getirilirken bir hata oluştu. Lütfen tekrar dene.","localConversation.syncWorktreeV2.stateFailed.title":"Worktree değişiklikleri yüklenemedi","localConversation.syncWorktreeV2.statusError.diffUnknown":"Worktree değişiklikleri yüklenemedi.","localConversation.syncWorktreeV2.statusError.retry":"Yeniden dene","localConversation.syncWorktreeV2.statusError.title":"Yerel dal değişiklikleri yüklenemiyor","localConversation.syncWorktreeV2.statusError.unknown":"Dal durumu şu anda kullanılamıyor. Tekrar dene.","localConversation.syncWorktreeV2.success.apply":"Değişiklikler başarıyla uygulandı","localConversation.syncWorktreeV2.success.overwrite":"Devir başarılı","localConversation.syncWorktreeV2.title":"Değişiklikleri devret","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"{count, plural, one {Soru} other {Sorular}} soruluyor","localConversation.userInputRequest.noAnswer":"Cevap gönderilmedi","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Soruldu","localConversation.userInputRequest.summary.count":"{count, plural, one {# soru} other {# soru}}","localConversation.workedFor":"{time} boyunca çalıştı","localConversation.worktreeBranchSetup.action.create":"Oluştur","localConversation.worktreeBranchSetup.branchAriaLabel":"Dal adı","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Yeni bir dal oluştur","localConversation.worktreeBranchSetup.checkoutDisabled":"Bu dal zaten {location} üzerinde checkout edildi","localConversation.worktreeBranchSetup.checkoutError":"Dal checkout edilemedi: {message}","localConversation.worktreeBranchSetup.createBranchError":"Dal ayarlanamadı: {message}","localConversation.worktreeBranchSetup.error":"Bir hata meydana geldi: {message}","localConversation.worktreeBranchSetup.subtitle":"Bu worktree’den değişiklikleri commit etmek, göndermek ve PR oluşturmak için bir dal oluştur. <a>Daha fazla bilgi al</a>","localConversation.worktreeBranchSetup.title":"Burada çalış","localConversationPage.addWorktreeToSidebar.tooltip":"Bu worktree’den yeni mesaj dizileri başlatabilmek için proje olarak kaydet","localConversationPage.addWorktreeToSidebarError":"Proje eklenemedi","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit etme ve PR oluşturma başarısız","localConversationPage.commitAndCreatePrModal.successTitle":"Commit edildi ve PR oluşturuldu","localConversationPage.commitAndPushModal.errorTitle":"Commit etme ve gönderme başarısız","localConversationPage.commitAndPushModal.successTitle":"Değişiklikler commit edildi ve gönderildi","localConversationPage.commitCreatePr.open":"Çekme isteğini aç","localConversationPage.commitCreatePr.successTitle":"Son değişiklikler,nle PR oluşturuldu","localConversationPage.createBranchButtonLabel":"Burada dal oluştur","localConversationPage.createPrModal.baseBranch":"Temel","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR oluştur","localConversationPage.createPrModal.createDescription":"Son değişikliklerin için bir çekme isteği aç.","localConversationPage.createPrModal.errorTitle":"Çekme isteği başarısız","localConversationPage.createPrModal.headBranch":"Ana dal","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR’yi aç","localConversationPage.createPrModal.successTitle":"Çekme isteği oluşturuldu","localConversationPage.createPrModal.title":"Çekme isteği oluştur","localConversationPage.createPrModal.viewDescription":"Bu dal için zaten bir çekme isteği var.","localConversationPage.createPrModal.viewTitle":"Çekme isteği hazır","localConversationPage.createPullRequestAuthGh":"GitHub CLI’yi yetkilendir: `gh auth login`komutunu çalıştır","localConversationPage.createPullRequestBranchMissing":"Dal bilgisi mevcut değil","localConversationPage.createPullRequestButtonLabel":"PR oluştur","localConversationPage.createPullRequestButtonLabel.loading":"PR oluşturuluyor…","localConversationPage.createPullRequestDefaultBranchMissing":"Varsayılan dal bilgisi mevcut değil","localConversationPage.createPullRequestError":"Çekme isteği oluşturulamadı","localConversationPage.createPullRequestExistingPullRequest":"Bu dal için zaten bir çekme isteği var","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI durumu yükleniyor...","localConversationPage.createPullRequestInstallGh":"PR’ler oluşturmak için GitHub CLI’yi (gh) yükle","localConversationPage.createPullRequestNoRepo":"Git deposu bulunamadı","localConversationPage.createPullRequestPushStatusMissing":"Gönderme durumu yükleniyor...","localConversationPage.createPullRequestSetUpstream":"PR oluşturmadan önce bu dalı gönder","localConversationPage.createPullRequestSuccessToast":"Çekme isteği oluşturuldu","localConversationPage.createPullRequestSwitchBranch":"PR oluşturmadan önce bir özellik dalını kontrol et","localConversationPage.error.render":"Yerel konuşma işleme hatası","localConversationPage.error.toast":"Konuşma bulunamadı","localConversationPage.forcePushError":"Zorla gönderme başarısız oldu","localConversationPage.generatePullRequestMessageError":"Çekme isteği başlığı ve gövde metni oluşturulamadı","localConversationPage.generatePullRequestMessageFailed":"Çekme isteği başlığı ve gövde metni oluşturulamadı.","localConversationPage.gitActionResult.branch":"Dal","localConversationPage.gitActionResult.cancel":"İptal et","localConversationPage.gitActionResult.close":"Kapat","localConversationPage.gitActionResult.tryAgain":"Tekrar dene","localConversationPage.gitActions":"Git eylemleri","localConversationPage.newChat":"Yeni sohbet","localConversationPage.openInTarget":"Açılacağı yer:","localConversationPage.openPrimaryTarget":"Aç","localConversationPage.planItemsCompleted":"{completedItems} / {totalItems, plural, one {# görev tamamlandı} other {# görev tamamlandı}}","localConversationPage.pushAuthError":"Gönderilemedi: kimlik doğrulama gerekli","localConversationPage.pushBranchMissing":"Dal bilgisi mevcut değil","localConversationPage.pushButtonLabel":"Anlık ileti","localConversationPage.pushButtonLabel.loading":"Gönderiliyor…","localConversationPage.pushError":"Gönderim değişiklikleri kaydedilemedi","localConversationPage.pushModal.branchLabel":"Dal","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"İptal et","localConversationPage.pushModal.confirm":"Gönder","localConversationPage.pushModal.description":"Son commit’lerini uzaktaki depoya gönder.","localConversationPage.pushModal.errorTitle":"Gönderme başarısız","localConversationPage.pushModal.forcePush":"Zorla gönder","localConversationPage.pushModal.successTitle":"Gönderme tamamlandı","localConversationPage.pushModal.title":"Gönderme değişiklikleri","localConversationPage.pushModal.tryAgain":"Tekrar dene","localConversationPage.pushNoUpstream":"Bu dalı göndermeden önce bir yukarı akış kur","localConversationPage.pushNoUpstreamError":"Gönderilemedi: yapılandırılmış yukarı akış yok","localConversationPage.pushNothingToPush":"Gönderilecek yeni commit yok","localConversationPage.pushRemoteChangedError":"Gönderilemedi: uzak depoda yeni commit’ler var","localConversationPage.pushRemoteRejectedError":"Gönderim uzak depo tarafından reddedildi","localConversationPage.pushStatusMissing":"Gönderme durumu yükleniyor...","localConversationPage.pushSuccessToast":"Gönderilen değişiklikler","localConversationPage.viewPullRequestButtonLabel":"PR’yi görüntüle","localConversationPage.viewPullRequestButtonLabel.loading":"Çekme isteği yükleniyor…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# dosya} other {# dosya}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liste} other {# liste}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# arama} other {# arama}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Araştırılıyor","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Araştırıldı","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} araştırıldı","localConversationTurnStory.showContent":"İçeriği göster","localConversationTurnStory.streamContent":"İçeriği izle","localConversationTurnStory.toggleReasoning":"Akıl yürütmeyi göster","localTaskRow.archiveError":"Konuşma arşivlenemedi","localTaskRow.resumeError":"Görev sürdürülemedi","mermaidDiagram.ariaLabel":"Mermaid diyagramı","mermaidDiagram.copySource":"Mermaid’i kopyala","mermaidDiagram.originalCode":"Mermaid kaynak kodu","notifications.permissions.description":"Bildirim izinleri gerektiğinde uyarıları göster","notifications.permissions.label":"İzin bildirimlerini etkinleştir","notifications.turnMode.always":"Her zaman","notifications.turnMode.description":"Codex’in işlemin bittiğini sana bildireceği zamanı ayarla","notifications.turnMode.label":"Tur tamamlama bildirimlerini etkinleştir","notifications.turnMode.off":"Asla","notifications.turnMode.unfocused":"Yalnızca odaklanmadığında","patchApprovalRequest.approve":"Onayla","patchApprovalRequest.menu.allowAlways":"Evet, bu oturumda bir daha sorma","patchApprovalRequest.menu.allowForSession":"Evet, bu oturumda bir daha sorma","patchApprovalRequest.menu.allowOnce":"Evet","patchApprovalRequest.prompt":"Bu değişiklikleri yapmak istiyor musun?","patchApprovalRequest.reject":"Hayır","patchApprovalRequest.waitingForApproval":"Dosyaları düzenlemek için onay bekleniyor","pendingRequest.approvalExec.collapse":"Daralt","pendingRequest.approvalExec.expand":"Genişlet","pendingRequestStory.toastAnswer":"Cevap: {answer}","pendingRequestStory.toastApprovalTitle":"Onay yanıtı","pendingRequestStory.toastFollowupPrompt":"İstem: {prompt}","pendingRequestStory.toastFollowupTitle":"Takip gönderildi","pendingRequestStory.toastNoAnswers":"Herhangi bir cevap gönderilmedi","pendingRequestStory.toastQuestion":"Soru: {question}","pendingRequestStory.toastUnknownDecision":"Bilinmeyen","pendingRequestStory.toastUserInputTitle":"Gönderilen cevaplar","quickAction.request.codeReview.branches.new":"Lütfen {to} ile karşılaştırarak {from} kapsamındaki değişiklikleri incele","quickAction.request.codeReview.uncommitted.new":"Lütfen commit edilmemiş değişikliklerimi incele","reasoningItem.thinking":"Düşünüyor","reasoningItem.thought":"Düşündüm","reasoningItem.thoughtWithElapsed":"{elapsed} konusunu düşündüm","recentConversations.title":"En Son Konuşmalar","recentTasks.worktreeInitFailedTitle":"Worktree init başarısız","recentTasks.worktreeSettingUpTitle":"Worktree ayarlanıyor","requestInputPanel.continue":"Devam et","requestInputPanel.dismiss":"Kapat","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Buraya yaz","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Hayır, Codex’e neyi farklı yapacağını söyle","requestInputPanel.selectedBadge":"Seçili","requestInputPanel.skip":"Atla","requestInputPanel.submit":"Gönder","review.commit.ariaLabel.includeUnstaged":"Staging alanına alınmamış olanları ekle","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commit ediliyor...","review.commit.disabled.loadingDiff":"Diff yükleniyor…","review.commit.disabled.missingContext":"Bir commit mesajı oluşturmak için biraz bağlam ekle","review.commit.disabled.noChanges":"Commit edilecek değişiklik yok","review.commit.disabled.noSelection":"Commit edilecek değişiklikleri seç","review.commit.disabled.unavailable":"Commit şu anda kullanılamıyor","review.commit.error":"Değişiklikler commit edilemedi","review.commit.form.changesToBeCommitted":"Değişiklikler","review.commit.form.commitTo":"Dal","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Devam et","review.commit.form.title":"Değişikliklerini commit et","review.commit.generate.emptyResponse":"Bir commit mesajı oluşturulamadı.","review.commit.generate.failed":"Commiy mesajı oluşturulamadı: {error}","review.commit.generate.missingPrompt":"Bir commit mesajı oluşturmak için biraz bağlam ekle.","review.commit.includeUnstaged":"Staging alanına alınmamış olanları ekle","review.commit.loading.description":"Biraz bekle, bu işlem birkaç dakika sürebilir","review.commit.loading.step.commit.done":"Commit edilmiş değişiklikler","review.commit.loading.step.commit.pending":"Değişiklikler commit ediliyor","review.commit.loading.step.createPr.done":"Bir çekme isteği oluşturuldu","review.commit.loading.step.createPr.pending":"Bir çekme isteği oluşturuluyor","review.commit.loading.step.push.done":"{branch} dalına gönderildi","review.commit.loading.step.push.pending":"{branch} dalına gönderiliyor","review.commit.loading.title.commit":"Değişiklikler commit ediliyor","review.commit.loading.title.createPr":"PR oluşturuluyor","review.commit.loading.title.push":"Değişiklikler gönderiliyor","review.commit.messageLabel":"Commit mesajı","review.commit.messagePlaceholder":"Commit mesajının otomatik olarak oluşturulması için boş bırak","review.commit.nextSteps":"Sonraki adımlar","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit et ve PR oluştur","review.commit.nextSteps.commitAndPush":"Commit et ve gönder","review.commit.nextSteps.prRequiresGh":"GitHub CLI gerektirir: {command}","review.commit.rows.changes":"Değişiklikler","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# commit}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# commit}} ve {stats}","review.commit.rows.fileCount":"{count, plural, one {# dosya} other {# dosya}}","review.commit.state.error.body":"Commit edilirken bir hata meydana geldi. Git durumunu kontrol et ve tekrar dene.","review.commit.state.error.title":"Commit başarısız","review.commit.state.success.title":"Değişiklikler commit edildi","review.commit.untracked.loadingStats":"İzlenmeyen diff istatistikleri yükleniyor…","reviewFindingAttachments.count":"{count, plural, one {# bulgu} other {# bulgu}}","settings.agent.configuration.configToml":"config.toml dosyanda tanımlanan","settings.agent.configuration.configToml.description":"Ajan davranışını özelleştirmek için yapılandırmanı düzenle","settings.agent.configuration.configToml.docs":"Belgeler","settings.agent.configuration.configToml.restartNote":"Düzenledikten sonra değişiklikleri uygulamak için Codex’i yeniden başlat","settings.agent.configuration.subtitle":"Bu ayarlar Codex’in kullanıldığı her yerde geçerlidir","settings.automations.banner.danger":"Otomasyonlar, şu anda Tam Erişim olarak ayarlanmış olan varsayılan sanal ortam ayarlarınla çalışır. Arka plan otomasyonlarını Tam Erişim ile çalıştırmak, Codex’in izinsiz olarak dosyaları değiştirmesine, komutları çalıştırmasına ve ağa erişmesine neden olabileceği için yüksek risk taşır. Sanal ortam ayarlarını çalışma alanı yazma olarak güncellemeyi ve <rulesDocsLink>kuralları</rulesDocsLink> kullanarak ajanın tam erişimle çalıştırabileceği komutları ayrı ayrı tanımlamayı düşünebilirsin.","settings.automations.banner.defaultHowTo.default":"Otomasyonlar varsayılan sanal ortam ayarlarınla çalışır. Çalışma alanı dışındaki dosyaları değiştirmeyi, ağa erişmeyi veya bilgisayarındaki uygulamalarla çalışmayı gerektiren araç çağrıları başarısız olur. <rulesDocsLink>Kuralları</rulesDocsLink> kullanarak sanal ortam dışında çalışacak komutların izin listesini belirleyebilirsin.","settings.automations.banner.defaultHowTo.readOnly":"Otomasyonlar, salt okunur olarak ayarlanan varsayılan sanal ortam ayarlarınla çalışır. Dosyaları değiştirme, ağa erişme veya bilgisayarındaki uygulamalarla çalışma gerektiren araç çağrıları başarısız olur. Sanal ortam ayarlarını çalışma alanı yazma olarak güncellemeyi düşünebilirsin.","settings.automations.cancel":"İptal et","settings.automations.create":"Oluştur","settings.automations.cwdEmpty":"Proje klasörleri mevcut değil","settings.automations.cwdLabel":"Projeler","settings.automations.cwdPlaceholder":"Bir klasör seç","settings.automations.cwdSubtitle":"Bir otomasyonun belirli bir dalda çalışmasını istiyorsan bunu isteminde belirtebilirsin.","settings.automations.delete":"Sil","settings.automations.dialog.editTitle":"Otomasyonu düzenle","settings.automations.dialog.newTitle":"Yeni otomasyon","settings.automations.dialog.subtitle":"Arka planda tekrarlanan görevleri otomatikleştir. Codex, bulguları gelen kutusuna ekler veya rapor edilecek bir şey yoksa görevi otomatik olarak arşivler. <learnMoreLink>Daha fazla bilgi al</learnMoreLink>","settings.automations.dialog.title":"Otomasyon oluştur","settings.automations.executionCopy.git":"Git projeleri, özel arka plan worktree’lerinde çalışır.","settings.automations.executionCopy.local":"Otomasyonlar doğrudan, seçilen proje dizinlerinde çalışır.","settings.automations.executionCopy.nonGit":"Sürüm kontrolü yapılmayan projeler, worktree’ler Git gerektirdiği için yerel olarak çalışır.","settings.automations.executionEnvironment.ariaLabel":"Yürütme ortamı","settings.automations.executionEnvironment.label":"Yürütme ortamı","settings.automations.executionEnvironment.local":"Yerel","settings.automations.executionEnvironment.local.help":"Seçilen proje dizininde, worktree oluşturmadan doğrudan çalışır.","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.executionEnvironment.worktree.help":"Seçilen projeden oluşturulan özel bir Git worktree’sinde çalışır ve mevcut checkout’unu değiştirmez.","settings.automations.loading":"Yükleniyor...","settings.automations.nameLabel":"Ad","settings.automations.namePlaceholder":"Sentry sorunlarını kontrol et","settings.automations.pause":"Duraklat","settings.automations.promptLabel":"İstem","settings.automations.promptPlaceholder":"$Sentry’te çökmeleri ara","settings.automations.resume":"Sürdür","settings.automations.rruleSummaryFallback":"Özel zamanlama","settings.automations.runNow":"Test Et","settings.automations.save":"Kaydet","settings.automations.scheduleBadge.dayCount":"{count} gün","settings.automations.scheduleBadge.interval":"{count} sa.","settings.automations.scheduleBadge.weekdays":"Hafta içi günler","settings.automations.scheduleBadge.weekends":"Hafta sonları","settings.automations.scheduleHeader":"Zamanla","settings.automations.scheduleHours":"saat","settings.automations.scheduleLabel":"Çalıştırma sıklığı: her","settings.automations.scheduleMode.daily":"Günlük","settings.automations.scheduleMode.interval":"Zaman aralığı","settings.automations.scheduleModeLabel":"Planlama türü","settings.automations.scheduleSummary.daily":"Günlük olarak saat {time}","settings.automations.scheduleSummary.interval":"Her {count} saatte","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# gün} other {# gün}}","settings.automations.scheduleSummary.intervalDays":"{interval} {days} günü","settings.automations.scheduleSummary.intervalHourly":"Saatlik","settings.automations.scheduleSummary.singleDay":"{day} saat {time}","settings.automations.scheduleSummary.weekdays":"Hafta içi saat {time}","settings.automations.scheduleSummary.weekdaysLabel":"hafta içi günler","settings.automations.scheduleSummary.weekends":"Hafta sonları saat {time}","settings.automations.scheduleSummary.weekendsLabel":"hafta sonları","settings.automations.scheduleSummary.weekly":"{days} saat {time}","settings.automations.scheduleWeekdays":"Açık","settings.automations.weekdayState.excluded":"Hariç","settings.automations.weekdayState.included":"Dâhil","settings.conversationDetail.steps":"Adımlar","settings.conversationDetail.steps.description":"Komutları ve çıktıları gizle","settings.conversationDetail.stepsWithCommands":"Kod komutları içeren adımlar","settings.conversationDetail.stepsWithCommands.description":"Komutları göster, çıktıyı daralt","settings.conversationDetail.stepsWithOutput":"Kod çıktılı adımlar","settings.conversationDetail.stepsWithOutput.description":"Komutları göster ve çıktıyı genişlet","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Arşivlenmiş sohbet yok.","settings.dataControls.archivedChats.error":"Arşivlenmiş sohbetler yüklenemedi.","settings.dataControls.archivedChats.loading":"Arşivlenmiş sohbetler yükleniyor…","settings.dataControls.archivedChats.unarchive":"Arşivden çıkar","settings.dataControls.archivedChats.unarchiveError":"Sohbet arşivden çıkarılamadı","settings.dataControls.archivedChats.unarchiveSuccess":"Arşivlenmiş mesaj dizisi. <viewNowLink>Şimdi görüntüle</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Arşivden çıkarılmış mesaj dizisi.","settings.dataControls.archivedChats.untitled":"İsimsiz sohbet","settings.dataControls.archivedChats.viewNow":"Şimdi görüntüle","settings.editRow.headerPlaceholder":"Anahtar","settings.editRow.removeEntry":"Girdiyi kaldır","settings.editRow.valuePlaceholder":"Değer","settings.general.appearance":"Görünüm","settings.general.appearance.codeFont":"Kod yazı tipi","settings.general.appearance.codeFont.description":"Sohbetler ve diff’ler genelinde kullanılan yazı tipini ve boyutunu ayarla","settings.general.appearance.codeFontFamily":"Kod yazı tipi ailesi","settings.general.appearance.codeFontSize":"Kod yazı tipi boyutu","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Pencereler, sistem yarı saydamlığı yerine düz arka plan kullansın","settings.general.appearance.opaqueWindows.label":"Opak pencere arka planı kullan","settings.general.appearance.sansFontFamily":"Çıkıntısız yazı tipi ailesi","settings.general.appearance.sansFontFamily.description":"Codex arayüzü için kullanılan yazı tipini ayarla","settings.general.appearance.sansFontSize":"Tırnaksız yazı tipi boyutu","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark ilk kez çalıştırılırken tam pencere kutlama efektlerini göster","settings.general.appearance.sparkCelebrationEffects.label":"Spark kutlama efektleri","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Karanlık","settings.general.appearance.theme.description":"Aydınlık veya karanlık modu kullan ya da sisteminin temasıyla eşleştir","settings.general.appearance.theme.light":"Aydınlık","settings.general.appearance.theme.system":"Sistem","settings.general.appearance.usePointerCursors.description":"Etkileşimli öğelerin üzerine geldiğinde imleci işaretçiye dönüştür","settings.general.appearance.usePointerCursors.label":"İşaretçi imleçleri kullan","settings.general.enterBehavior.description":"Etkinleştirildiğinde çok satırlı istemleri göndermek için {modifierSymbol} + enter gerekir.","settings.general.enterBehavior.label":"Uzun istemleri göndermek için {modifierSymbol} + enter’ı zorunlu kıl","settings.general.experimentalFeatures":"Deneysel özellikler (Beta)","settings.general.experimentalFeatures.empty":"Deneysel beta özellikler yok.","settings.general.experimentalFeatures.loading":"Deneysel özellikler yükleniyor...","settings.general.experimentalFeatures.restartNote":"Deneysel özellik değişikliklerini uygulamak için Codex’i yeniden başlat","settings.general.experimentalFeatures.toggle":"{featureName} becerisini aç/kapat","settings.general.followUpQueueMode.description":"Codex çalıştırılırken takipleri sıraya al veya mevcut çalıştırmayı yönlendir. Bir mesaj için tersini yapmak istersen {invertFollowUpShortcutLabel} öğesine bas.","settings.general.followUpQueueMode.interrupt":"Yönlendir","settings.general.followUpQueueMode.label":"Takip davranışı","settings.general.followUpQueueMode.queue":"Sıraya al","settings.general.notifications":"Bildirimler","settings.general.power.preventSleepWhileRunning.description":"Codex bir mesaj dizisi çalıştırırken bilgisayarının uyku moduna geçmesini engelle.","settings.general.power.preventSleepWhileRunning.label":"Çalışırken uyku moduna geçmeyi engelle","settings.git.branchPrefix.ariaLabel":"Dal ön eki","settings.git.branchPrefix.description":"Codex’te yeni dallar oluştururken kullanılan ön ek","settings.git.branchPrefix.label":"Dal ön eki","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Dal ön eki kaydedilemedi","settings.git.branchPrefix.save.success":"Dal ön eki kaydedildi","settings.git.commitInstructions.ariaLabel":"Commit talimatları","settings.git.commitInstructions.description":"Commit mesajı oluşturma istemlerine eklendi","settings.git.commitInstructions.label":"Commit talimatları","settings.git.commitInstructions.placeholder":"Commit mesajı yönlendirmesi ekle…","settings.git.commitInstructions.save":"Kaydet","settings.git.commitInstructions.save.error":"Commit talimatları kaydedilemedi","settings.git.commitInstructions.save.success":"Commit talimatları kaydedildi","settings.git.forcePush.ariaLabel":"Her zaman zorla gönder","settings.git.forcePush.description":"Codex’ten gönderirken ---force-with-lease kullan","settings.git.forcePush.label":"Her zaman zorla gönder","settings.git.forcePush.save.disabled":"Her zaman zorla gönderme devre dışı bırakıldı","settings.git.forcePush.save.enabled":"Her zaman zorla gönderme etkinleştirildi","settings.git.forcePush.save.error":"Zorla gönderme ayarı kaydedilemedi","settings.git.prInstructions.ariaLabel":"Çekme isteği talimatları","settings.git.prInstructions.description":"Codex tarafından oluşturulan çekme isteği gövde metinlerine iliştirildi","settings.git.prInstructions.label":"Çekme isteği talimatları","settings.git.prInstructions.placeholder":"Çekme isteği yönlendirmesi ekle…","settings.git.prInstructions.save":"Kaydet","settings.git.prInstructions.save.error":"Çekme isteği talimatları kaydedilemedi","settings.git.prInstructions.save.success":"Çekme isteği talimatları kaydedildi","settings.ide.defaultOpenTarget.description":"Varsayılan olarak dosyaların ve klasörlerin açıldığı yer","settings.ide.defaultOpenTarget.label":"Varsayılan açık hedef","settings.ide.defaultOpenTarget.placeholder":"Hedef bulunamadı","settings.ide.language.auto":"Otomatik Algıla","settings.ide.language.autoOption":"Otomatik Algıla","settings.ide.language.description":"Uygulama arayüzü dili","settings.ide.language.label":"Dil","settings.ide.language.search":"Dil ara","settings.layout.actionButton":"Uzatmayı yeniden başlat","settings.layout.actionTitle":"Eylemli ayarlar","settings.layout.fullWidthTitle":"Ayarlar (Tam genişlik)","settings.layout.title":"Ayarlar","settings.localEnvironments.actions.add":"Eylem ekle","settings.localEnvironments.actions.add.description":"Araç çubuğundan çalıştırmak için yeni bir komut oluştur.","settings.localEnvironments.actions.add.save":"Kaydet","settings.localEnvironments.actions.empty":"Yerel araç çubuğundan komut çalıştırmak için bir eylem ekle.","settings.localEnvironments.actions.icon.debug":"Hata ayıkla","settings.localEnvironments.actions.icon.run":"Çalıştır","settings.localEnvironments.actions.icon.test":"Test Et","settings.localEnvironments.actions.icon.tool":"Araç","settings.localEnvironments.actions.item.button.delete":"Sil","settings.localEnvironments.actions.item.command":"Eylem komut dosyası","settings.localEnvironments.actions.item.name":"Ad","settings.localEnvironments.actions.item.platforms":"Platformlar","settings.localEnvironments.actions.item.platforms.help":"Yalnızca belirli bir işletim sisteminde çalışır.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Platform seçimi","settings.localEnvironments.actions.item.platforms.specific":"Platforma özel","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Sil","settings.localEnvironments.actions.title":"Eylemler","settings.localEnvironments.breadcrumb.back":"Geri","settings.localEnvironments.breadcrumb.edit":"düzenle","settings.localEnvironments.breadcrumb.root":"Ortamlar","settings.localEnvironments.environment.actions.description":"Bu eylemler herhangi bir komutu çalıştırabilir ve başlıkta görüntülenir.","settings.localEnvironments.environment.actionsLabel":"Eylemler","settings.localEnvironments.environment.create":"Yerel ortam oluştur","settings.localEnvironments.environment.defaultName":"yerel","settings.localEnvironments.environment.edit":"Yerel ortamı düzenle","settings.localEnvironments.environment.empty":"Bu proje için henüz bir yerel ortam yapılandırılmadı.","settings.localEnvironments.environment.name":"Ad","settings.localEnvironments.environment.setup":"Kurulum komut dosyası","settings.localEnvironments.environment.setup.description":"Bu komut dosyası, worktree oluşturulduğunda çalışır.","settings.localEnvironments.environment.setup.hint":"Proje kökünde çalışır.","settings.localEnvironments.environment.setup.platformOverrides":"Platform geçersiz kılma","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} kurulum komut dosyası ekle","settings.localEnvironments.environment.setup.platformOverrides.description":"Belirli işletim sistemleri için varsayılan komut dosyasını geçersiz kılar.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Kaldır","settings.localEnvironments.environment.setup.script":"Komut dosyası","settings.localEnvironments.environment.title":"Ortam ayrıntıları","settings.localEnvironments.file.missing":"Bu dosyayı ilk kez oluşturmak için kaydet.","settings.localEnvironments.file.parseError":"Mevcut dosya ayrıştırılamadı. Kaydedersen üzerine yazılacak. ({error})","settings.localEnvironments.file.path":"Dosya: {path}","settings.localEnvironments.file.readError":"Yerel ortam verileri yüklenemedi. ({error})","settings.localEnvironments.file.title":"Yerel ortam dosyası","settings.localEnvironments.loading.body":"Projenin yapılandırması alınıyor.","settings.localEnvironments.loading.title":"Yerel ortamlar yükleniyor","settings.localEnvironments.preview.devOnly":"(Yalnızca geliştirme)","settings.localEnvironments.preview.save":"Kaydet","settings.localEnvironments.preview.saveError":"Dosya kaydedilemedi. ({error})","settings.localEnvironments.preview.title":"Ön İzleme","settings.localEnvironments.save.disabled.name":"Kaydetmek için bir ortam ismi ekle.","settings.localEnvironments.save.disabled.noChanges":"Kaydedilecek değişiklik yok.","settings.localEnvironments.save.disabled.saving":"Kaydediliyor...","settings.localEnvironments.save.success":"Yerel ortam kaydedildi","settings.localEnvironments.unavailable.body":"Bu proje için yerel ortam ayarlarını yükleyemedik.","settings.localEnvironments.unavailable.title":"Yerel ortamlar kullanılamıyor","settings.localEnvironments.workspace.add":"Proje ekle","settings.localEnvironments.workspace.title":"Proje","settings.localEnvironments.workspaceSelect.addLabel":"Ortam ekle","settings.localEnvironments.workspaceSelect.description":"Yerel ortamlar, Codex’e bir proje için worktree’leri nasıl kuracağını açıklar. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Henüz proje yok. Yerel ortamları yapılandırmak için bir tane ekle.","settings.localEnvironments.workspaceSelect.errorLabel":"Ortamla ilgilenilmesi gerekli","settings.localEnvironments.workspaceSelect.learnMore":"Daha fazla bilgi al","settings.localEnvironments.workspaceSelect.listLabel":"Mevcut projeler","settings.localEnvironments.workspaceSelect.loading":"Projeler yükleniyor.","settings.localEnvironments.workspaceSelect.loadingLabel":"Ortam yükleniyor","settings.localEnvironments.workspaceSelect.title":"Proje seç","settings.localEnvironments.workspaceSelect.viewAction":"Görüntüle","settings.mcp.addServer":"Sunucu ekle","settings.mcp.app.configure":"Yapılandır","settings.mcp.app.connect":"Bağla","settings.mcp.apps.refresh":"Yenile","settings.mcp.detail.addArgument":"Argüman ekle","settings.mcp.detail.addEnvVar":"Ortam değişkeni ekle","settings.mcp.detail.addEnvVarPassthrough":"Değişken ekle","settings.mcp.detail.args":"Argümanlar","settings.mcp.detail.back":"Geri","settings.mcp.detail.command":"Başlatma komutu","settings.mcp.detail.cwd":"Çalışma dizini","settings.mcp.detail.docs":"Open MCP belgeleri","settings.mcp.detail.docs.link":"Belgeler","settings.mcp.detail.envVarPassthrough":"Ortam değişkeni aktarımı","settings.mcp.detail.envVars":"Ortam değişkenleri","settings.mcp.detail.http.addEnvHeader":"Değişken ekle","settings.mcp.detail.http.addHeader":"Başlık ekle","settings.mcp.detail.http.bearerToken":"Taşıyıcı token için ortam değişkeni","settings.mcp.detail.http.envHeaders":"Ortam değişkenlerinden alınan başlıklar","settings.mcp.detail.http.headers":"Başlıklar","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Ad","settings.mcp.detail.save":"Kaydet","settings.mcp.detail.switchTransportNotice":"MCP sunucusu türünü değiştirmek istersen lütfen önce sunucuyu kaldır.","settings.mcp.detail.titleExisting":"{name} MCP’yi güncelle","settings.mcp.detail.titleNew":"Özel bir MCP sunucusuna bağlan","settings.mcp.detail.transport.http":"Akış destekli HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Kaldır","settings.mcp.empty":"Bağlı özel MCP sunucusu yok","settings.mcp.myServers":"Özel sunucular","settings.mcp.partnerServer.description.figma":"Tüm Figma bağlamını kullanarak daha iyi kod üret","settings.mcp.partnerServer.description.github":"İş akışlarını otomatikleştirmek ve veri çıkarmak için GitHub API’leriyle entegre et","settings.mcp.partnerServer.description.linear":"Linear’ın sorun takibi ve proje yönetimiyle entegre et","settings.mcp.partnerServer.description.notion":"Belgeleri oku, sayfaları güncelle, görevleri yönet","settings.mcp.partnerServer.description.playwright":"Tasarım uygulamak ve UI’yi test etmek için tarayıcı otomasyonunu entegre et","settings.mcp.partnerServer.install":"Yükle","settings.mcp.partnerServer.installAndAuthenticate":"Yükle ve kimlik doğrulaması yap","settings.mcp.partnerServer.logoAlt":"{label} logosu","settings.mcp.partnerServer.manage":"Yönet","settings.mcp.partnerServer.vendor":"{vendor} tarafından","settings.mcp.recommendedServers":"Önerilen sunucular","settings.mcp.restartApp":"Yeniden Başlat","settings.mcp.restartExtension":"Uzatmayı yeniden başlat","settings.mcp.server.enable":"Etkinleştir","settings.mcp.server.login":"Kimliği Doğrula","settings.mcp.server.settings":"Ayarlar","settings.multiselect.createOption":'"{value}" oluştur',"settings.multiselect.removeOption":"Kaldır","settings.nav.account":"Hesap","settings.nav.agent":"Yapılandırma","settings.nav.ariaLabel":"Ayarlar","settings.nav.back":"Uygulamaya geri dön","settings.nav.data-controls":"Arşivlenmiş mesaj dizileri","settings.nav.environments":"Bulut Ortamları","settings.nav.externalTooltip":"[alpha] Tarayıcıda açılır","settings.nav.general-settings":"Genel","settings.nav.git-settings":"Git","settings.nav.local-environments":"Ortamlar","settings.nav.mcp-settings":"MCP sunucuları","settings.nav.notImplemented":"[alpha] Alpha’da kullanılmıyor","settings.nav.personalization":"Kişiselleştirme","settings.nav.skills-settings":"Beceriler","settings.nav.usage-analytics":"Kullanım ve Analiz","settings.nav.worktrees":"Worktree’ler","settings.openSourceLicenses.back":"Geri","settings.openSourceLicenses.loading":"Yükleniyor...","settings.openSourceLicenses.missing":"Üçüncü taraf uyarısı yok.","settings.openSourceLicenses.notSupported":"Bu sunucuda kullanılamıyor.","settings.openSourceLicenses.rowDescription":"Paketlenmiş bağımlılıklar için üçüncü taraf uyarıları","settings.openSourceLicenses.rowLabel":"Açık kaynak lisansları","settings.openSourceLicenses.subtitle":"Bu uygulama dâhilindeki bağımlılıklar için üçüncü taraf uyarıları","settings.openSourceLicenses.title":"Açık kaynak lisansları","settings.openSourceLicenses.view":"Görüntüle","settings.personalization.agents.description":"Codex’i sana özel kılan talimatları düzenle. {learnMore}","settings.personalization.agents.learnMore":"Daha fazla bilgi al","settings.personalization.agents.loadError":"agents.md yüklenemiyor.","settings.personalization.agents.loading":"agents.md yükleniyor…","settings.personalization.agents.placeholder":"Özel talimatlarını ekle…","settings.personalization.agents.retry":"Yeniden dene","settings.personalization.agents.save":"Kaydet","settings.personalization.agents.save.error":"agents.md kaydedilemedi","settings.personalization.agents.save.success":"agents.md kaydedildi","settings.personalization.agents.title":"Özel talimatlar","settings.personalization.personality.description":"Codex yanıtları için varsayılan bir tonu seç","settings.personalization.personality.label":"Kişilik","settings.sample.contentBody":"Ayarlar panelini tutarlı boşluklarla oluşturmak için bu düzeni kullan.","settings.sample.contentTitle":"Örnek içerik bloku","settings.section.account":"Hesap","settings.section.agent":"Yapılandırma","settings.section.data-controls":"Arşivlenmiş mesaj dizileri","settings.section.environments":"Bulut Ortamları","settings.section.external":"Alpha sırasında tarayıcında açılır","settings.section.general-settings":"Genel","settings.section.git-settings":"Git","settings.section.local-environments":"Ortamlar","settings.section.mcp-settings":"MCP sunucuları","settings.section.mcp-settings.docs":"Belgeler","settings.section.mcp-settings.subtitle":"Harici araçları ve veri kaynaklarını bağla.","settings.section.personalization":"Kişiselleştirme","settings.section.skills-settings":"Beceriler","settings.section.unavailable":"Henüz Alpha’da kullanılmıyor","settings.section.usage-analytics":"Kullanım ve Analiz","settings.section.worktrees":"Worktree’ler","settings.threadDetail.description":"Komut çıktısının kaç mesaj dizisinde gösterileceğini seç","settings.threadDetail.label":"Mesaj dizisi ayrıntısı","settings.worktrees.conversation.untitled":"İsimsiz konuşma","settings.worktrees.delete.error":"Worktree silinemedi","settings.worktrees.empty.body":"Codex tarafından oluşturulan worktree’ler burada gösterilecek.","settings.worktrees.empty.title":"Henüz worktree yok","settings.worktrees.error.body":"Worktree’ler yüklenirken bir hata oluştu.","settings.worktrees.error.retry":"Yeniden dene","settings.worktrees.error.title":"Worktree’ler yüklenemiyor","settings.worktrees.loading.body":"Worktree ayrıntıları alınıyor.","settings.worktrees.loading.title":"Worktree’ler yükleniyor","settings.worktrees.repository.loading":"Depo üstverisi yükleniyor...","settings.worktrees.repository.unknown":"Bilinmeyen depo","settings.worktrees.row.conversations":"Konuşmalar","settings.worktrees.row.conversations.empty":"Bu worktree ile bağlantılı konuşma yok.","settings.worktrees.row.conversations.loading":"Konuşmalar yükleniyor...","settings.worktrees.row.delete":"Sil","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Yeni proje ekle","sidebarElectron.archiveThread":"Mesaj dizisini arşivle","sidebarElectron.archiveThreadError":"Mesaj dizisi arşivlenemedi","sidebarElectron.collapseFolder":"Klasörü daralt","sidebarElectron.createStableWorktree":"Kalıcı worktree oluştur","sidebarElectron.createStableWorktree.dialog.ariaLabel":"Proje ismi","sidebarElectron.createStableWorktree.dialog.cancel":"İptal et","sidebarElectron.createStableWorktree.dialog.create":"Oluştur","sidebarElectron.createStableWorktree.dialog.placeholder":"Proje ismi","sidebarElectron.createStableWorktree.dialog.subtitle":"HEAD’den yeni bir git worktree’si oluştur, bunu proje olarak ekle ve silene kadar sakla.","sidebarElectron.createStableWorktree.dialog.title":"Worktree oluştur ve bunu proje olarak kaydet","sidebarElectron.createStableWorktree.error":"Kalıcı worktree oluşturulamadı: {message}","sidebarElectron.debugNavLink":"Hata ayıkla","sidebarElectron.editWorkspaceRootOptionName":"İsmi düzenle","sidebarElectron.expandFolder":"Klasörü genişlet","sidebarElectron.groupByMenu.recency":"Kronolojik liste","sidebarElectron.groupByMenu.title":"Düzenle","sidebarElectron.groupByMenu.workspace":"Projeye göre","sidebarElectron.inboxRouteNavLink":"Otomasyonlar","sidebarElectron.markThreadUnread":"Okunmamış olarak işaretle","sidebarElectron.missingWorkspaceRoot":"Bu proje klasörü silinmiş veya taşınmış","sidebarElectron.newThread":"Yeni mesaj dizisi","sidebarElectron.newThreadInGroup":"{folder} klasöründe yeni mesaj dizisi başlat","sidebarElectron.noRecentThreads":"Yakın zamanlı mesaj dizisi yok","sidebarElectron.noTasks":"Mesaj dizisi yok","sidebarElectron.noTasks.start":"Yeni proje ekle","sidebarElectron.noTasksWithFilter":"Filtrelere uyan mesaj dizisi yok","sidebarElectron.pinnedThreads":"Sabitlenmiş mesaj dizileri","sidebarElectron.recentNavLink":"Mesaj dizileri","sidebarElectron.recentThreads":"Yakın zamanlı mesaj dizileri","sidebarElectron.removeWorkspaceRootOption":"Kaldır","sidebarElectron.renameThread":"Mesaj dizisini yeniden adlandır","sidebarElectron.renameThreadDialogAriaLabel":"Mesaj dizisi başlığı","sidebarElectron.renameThreadDialogCancel":"İptal et","sidebarElectron.renameThreadDialogPlaceholder":"Başlık ekle…","sidebarElectron.renameThreadDialogSave":"Kaydet","sidebarElectron.renameThreadDialogSubtitle":"Kısa ve ayırt edilebilir bir başlık seç.","sidebarElectron.renameThreadDialogTitle":"Mesaj dizisini yeniden adlandır","sidebarElectron.renameThreadError":"Mesaj dizisi yeniden adlandırılamadı","sidebarElectron.renameWorkspaceRootOptionLabel":"Görünen isim","sidebarElectron.showLess":"Daha az göster","sidebarElectron.showMenu.all":"Tüm mesaj dizileri","sidebarElectron.showMenu.relevant":"İlgili","sidebarElectron.showMenu.relevantHint":"Mecvut dal, worktree’ler veya ilgilenmen gereken diğer mesaj dizileri için sadece yakın zamanlı mesaj dizilerini göster","sidebarElectron.showMenu.title":"Göster","sidebarElectron.showMenu.tooltip":"Mesaj dizilerini filtrele, sırala ve düzenle","sidebarElectron.showMenu.trigger":"Kenar çubuğu mesaj dizilerini filtrele","sidebarElectron.showMore":"Daha fazla göster","sidebarElectron.skillsAppsRouteNavLink":"Beceriler ve Uygulamalar","sidebarElectron.skillsRouteNavLink":"Beceriler","sidebarElectron.sortMenu.created":"Oluşturma tarihi:","sidebarElectron.sortMenu.title":"Sıralama kriteri:","sidebarElectron.sortMenu.updated":"Güncellendi","sidebarElectron.taskNavigation":"Otomasyon klasörleri","sidebarElectron.tasksInFolder":"{folder} klasöründeki otomasyonlar","sidebarElectron.workspaceOptions":"{folder} için proje eylemleri","sidebarElectron.worktreeGroupTooltip":"Bu bir git çalışma dizini","skills.appsPage.apps.enableToggle":"Uygulamayı etkinleştir","skills.appsPage.apps.installOnChatGpt":"ChatGPT’ye yükle","skills.appsPage.apps.manageOnChatGpt":"ChatGPT’de yönet","skills.appsPage.apps.noDescription":"Açıklama yok","skills.appsPage.createSkill":"Yeni beceri","skills.appsPage.empty.apps":"Uygulama bulunmadı","skills.appsPage.empty.discoverApps":"Keşfedilecek uygulama yok","skills.appsPage.empty.installedApps":"Yüklü uygulama yok","skills.appsPage.empty.skills":"Beceri bulunamadı","skills.appsPage.heading":"Beceriler ve Uygulamalar","skills.appsPage.search.all":"Beceri ve uygulama ara","skills.appsPage.search.all.label":"Beceri ve uygulama ara","skills.appsPage.search.apps":"Uygulama ara","skills.appsPage.search.apps.label":"Uygulama ara","skills.appsPage.search.skills":"Beceri ara","skills.appsPage.search.skills.label":"Beceri ara","skills.appsPage.section.apps":"Uygulamalar","skills.appsPage.section.apps.seeAll":"Tüm {count} uygulamalarını görüntüle","skills.appsPage.section.discover":"Keşfet","skills.appsPage.section.installedApps":"Yüklü","skills.appsPage.section.skills":"Beceriler","skills.appsPage.section.skills.seeAll":"Tüm {count} becerilerini görüntüle","skills.appsPage.subheading":"Codex’e süper güçler kazandır. <link>Daha fazla bilgi al</link>","skills.appsPage.tab.apps":"Uygulamalar","skills.appsPage.tab.recommended":"Önerilen","skills.appsPage.tab.skills":"Beceriler","skills.card.contentsError":"Beceri içerikleri yüklenemedi.","skills.card.disable":"Devre dışı bırak","skills.card.disableSuccess":"{skillName} beceri devre dışı bırakıldı","skills.card.disabledBadge":"Devre dışı bırakıldı","skills.card.enable":"Etkinleştir","skills.card.enableSuccess":"{skillName} beceri etkinleştirildi","skills.card.loadingContents":"Beceri içerikleri yükleniyor...","skills.card.more":"Daha fazla eylem","skills.card.open":"Aç","skills.card.removeFailed":"Beceri kaldırılamadı","skills.card.removeSuccess":"{skillName} beceri kaldırıldı","skills.card.toggleEnabledError":"Beceri güncellenemedi","skills.card.try":"Dene","skills.card.trySkill":"Beceriyi dene","skills.card.uninstall":"Kaldır","skills.hero.dotLabel":"{index} numaralı slayta git","skills.hero.next":"Sonraki öne çıkan beceri","skills.hero.trySkill":"Beceriyi dene","skills.page.createSkill":"Yeni beceri","skills.page.empty":"Hiçbir beceri bulunamadı","skills.page.filteredEmpty":"Filtrelerinle eşleşen beceri yok","skills.page.filteredEmptyDescription":"Arama veya kapsam filtrelerini ayarlamayı dene.","skills.page.heading":"Beceriler","skills.page.loading":"Beceriler yükleniyor...","skills.page.refreshSkills":"Yenile","skills.page.refreshSkillsToUseNew":"Yeni beceriyi/becerileri kullanmak için sayfayı yenile","skills.page.search":"Becerileri ara","skills.page.search.label":"Becerileri ara","skills.page.subheading":"Codex’e süper güçler kazandır. <link>Daha fazla bilgi al</link>","skills.preview.copyPrompt":"İstemi kopyala","skills.preview.examplePrompt":"Örnek istem","skills.recommended.error":"Önerilen beceriler yüklenemedi","skills.recommended.install":"Yükle","skills.recommended.installSkill":"Beceri yükle","skills.recommended.installSuccess":"{skillName} beceri yüklendi","skills.recommended.installed":"Yüklü","skills.scope.admin":"Yönetici","skills.scope.adminInstalled":"Yönetici yüklendi","skills.scope.builtIn":"Sistem","skills.scope.personal":"Kişisel","skills.scope.repo":"Depo","skills.scope.system":"Sistem","skills.scope.team":"Takım","skills.scope.user":"Kullanıcı","skills.section.installed":"Yüklü","skills.section.recommended":"Önerilen","story.slidingToggle.existing":"Mevcut","story.slidingToggle.fromLocal":"Yerelden","story.slidingToggle.new":"Yeni","story.slidingToggle.toLocal":"Yerele","terminal.close":"Terminali kapat","terminal.title":"Terminal","thinkingShimmer.default":"Düşünüyor","threadEnvIcon.cloudTooltip":"Bu sohbet Codex Cloud’da çalıştırılıyor.","threadEnvIcon.localTooltip":"Bu konuşma yerel olarak çalıştırılıyor.","threadEnvIcon.worktreeTooltip":"Bu sohbet yerel bir git worktree’sinde çalıştırılıyor","threadHeader.archiveConfirmCancel":"İptal et","threadHeader.archiveConfirmConfirm":"Arşivle","threadHeader.archiveConfirmSubtitle":"Bunu daha sonra arşivlenmiş mesaj dizilerinde bulabilirsin.","threadHeader.archiveConfirmTitle":"Mesaj dizisi arşivlensin mi?","threadHeader.copyAppLink":"Derin bağlantıyı kopyala","threadHeader.copySessionId":"Oturum kimliğini kopyala","threadHeader.copyWorkingDirectory":"Çalışma dizinini kopyala","threadHeader.forkIntoLocal":"Yerele çatalla","threadHeader.forkIntoWorktree":"Yeni worktree’ye çatalla","threadHeader.forkPendingWorktreePrompt":"Bu konuşmayı yeni bir worktree’ye çatalla.","threadHeader.forkPendingWorktreeTitle":"Çatallanan konuşma","threadHeader.forkThreadError":"Mesaj dizisi çatallanamadı","threadHeader.forkThreadRequiresGitRepo":"Yeni worktree’ye çatallamak için bir git deposu gerekir","threadHeader.moreActions":"Mesaj dizisi eylemleri","threadPage.newThread":"Yeni mesaj dizisi","threadPage.runAction.changeEnvironment":"Ortamı değiştir","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} eylemleri","threadPage.runAction.environmentSelector.label":"Ortam seç","threadPage.runAction.label":"Çalıştır","threadPage.runAction.missing.label":"Bir çalıştırma eylemi ayarla","threadPage.runAction.setup.commandLabel":"Çalıştırma komutu","threadPage.runAction.setup.description":"Codex’e bağımlılıkları nasıl yükleyeceğini söyle ve uygulamanı başlat.","threadPage.runAction.setup.editMore":"Ortam ayarları","threadPage.runAction.setup.placeholder":"ör: npm install npm run","threadPage.runAction.setup.submit":"Kaydet ve çalıştır","threadPage.runAction.setup.title":"Çalıştır","threadPage.runAction.tooltip.withEnvironment":"{environmentName} eylemleri","threadPage.toggleDiffPanel":"Fark panelini değiştir","threadPage.toggleTerminal":"Terminali değiştir","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Klasörü aç","toolSummaryForCmd.exploredFiles":"Dosyalar <verb>listelendi</verb>","toolSummaryForCmd.exploredFilesInPath":"{path} yolundaki dosyalar <verb>listelendi</verb>","toolSummaryForCmd.exploringFiles":"Dosyalar <verb>listeleniyor</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} yolundaki dosyalar <verb>listeleniyor</verb>","toolSummaryForCmd.finishedBackgroundTerminal":"Arka plan terminali tamamlandı","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"Arka plan terminali {command} ile tamamlandı","toolSummaryForCmd.ranGenericCommand":"<status>Komut çalıştırıldı</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Çalıştırıldı</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Oku</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Komut çalıştırılıyor</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} için","toolSummaryForCmd.searchedFor":"{query} için <verb>arama yapıldı</verb>","toolSummaryForCmd.searchedForFiles":"Dosyalar için <verb>arama yapıldı</verb>","toolSummaryForCmd.searchedForInPath":"{path} içinde {query}<verb>arandı</verb>","toolSummaryForCmd.searchingFor":"{query}<verb>aranıyor</verb>","toolSummaryForCmd.searchingForFiles":"Dosyalar <verb>aranıyor</verb>","toolSummaryForCmd.searchingForInPath":"{path} içinde {query}<verb>aranıyor</verb>","toolSummaryForCmd.startedBackgroundTerminal":"Arka plan terminali başladı","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"Arka plan terminali {command} ile başladı","traceRecording.details.noteLabel":"Bu olduğunda ne yapıyordun? (isteğe bağlı)","traceRecording.details.notePlaceholder":"Büyük bir mesaj dizisine gittim, ardından tekrar tekrar sekme değiştirdim…","traceRecording.details.submit":"İz gönder","traceRecording.details.subtitle":"Performans sorunlarını teşhis etmeye yardımcı olmak için bu profil izini gönderebiliriz.","traceRecording.details.title":"Profil izi gönderilsin mi?","traceRecording.progress.subtitle":"Bu tamamlandığında Codex’i açık tut.","traceRecording.saving.title":"İz kaydediliyor…","traceRecording.startDetails.cancel":"İptal et","traceRecording.startDetails.submit":"Tamam, Kayda Başla","traceRecording.startDetails.subtitle":"Tamama tıkladıktan sonra, performans sorununu yeniden oluştur. Ardından kaydı durdurmak ve izi incelemek için, ekranda görünen kırmızı göstergeye tıkla.","traceRecording.startDetails.title":"İz Kaydı Nasıl Çalışır?","traceRecording.stopButton.ariaLabel":"İz kaydını durdur","traceRecording.upload.successToast":"Profil izi gönderildi.","traceRecording.uploading.title":"İz yükleniyor...","wham.diff.addComment":"Yorum ekle","wham.diff.binaryFile":"İkili dosya gösterilmiyor","wham.diff.noContent":"İçerik yok","wham.fileTag.deleted":"Silindi","wham.fileTag.new":"Yeni","wham.formattedRelativeDateTime.compactDaysAgo":"{value} gün","wham.formattedRelativeDateTime.compactHoursAgo":"{value} sa.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} dk.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} ay","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} hafta","wham.formattedRelativeDateTime.compactYearsAgo":"{value} yıl","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Görevin üzerinde çalışıyor","wham.whamProposedTask.title":"Önerilen görev","wham.whamProposedTask.useSuggestion":"Öneriyi kullan","workspaceRootDialog.addError":"Proje eklenemedi","workspaceRootDialog.cancel":"İptal et","workspaceRootDialog.confirmAdd":"Proje ekle","workspaceRootDialog.confirmPick":"Projeyi kullan","workspaceRootDialog.description":"Proje olarak kullanmak için {host} üzerinde bir yol gir.","workspaceRootDialog.pathLabel":"Proje yolu","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Proje yolu ekle","workspaceRootDialog.title.pick":"Proje yolu seç","worktreeInitV2.cancel":"İptal et","worktreeInitV2.notification.failedTitle":"Worktree kurulumu başarısız","worktreeInitV2.output.empty":"Çıktı bekleniyor...","worktreeInitV2.status.error":"Worktree kurulumu başarısız.","worktreeInitV2.status.running":"Worktree oluşturuluyor ve kurulum çalıştırılıyor.","worktreeInitV2.status.runningFork":"Bu konuşmayı çatallamak için bir worktree oluşturuluyor","worktreeInitV2.status.success":"Worktree hazır.","worktreeInitV2.title":"Çalışma dizini oluşturuluyor","worktreeInitV2.workLocallyInstead":"Bunun yerine yerel olarak çalış","worktreeRestoreBanner.body":"Bu mesaj dizisinin worktree’si diskte alan açmak için kaldırıldı","worktreeRestoreBanner.missing.body":"Bu mesaj dizisinin worktree klasörü artık mevcut değil","worktreeRestoreBanner.missing.title":"Mevcut çalışma dizini eksik","worktreeRestoreBanner.restore.error":"Worktree geri yüklenemedi: {message}","worktreeRestoreBanner.restore.success":"Worktree geri yüklendi","worktreeRestoreBanner.restoreCta":"Worktree’yi geri yükle","worktreeRestoreBanner.title":"Worktree temizlendi"};export{e as default};
+const e={"CopyButton.copyTooltip":"Kopyala","app.sidebar.hide":"Kenar çubuğunu gizle","app.sidebar.show":"Kenar çubuğunu göster","app.sidebar.tooltip":"Kenar çubuğunu değiştir","appHeader.installUpdate":"Güncelle","appSunset.body":"Bu uygulama sürümü artık desteklenmiyor. Lütfen en son sürümü <here>buradan</here> indir.","appSunset.title":"Güncelleme gerekli","automation.updateDirective.create":"Oluştur","automation.updateDirective.open":"Aç","automation.updateDirective.untitled":"İsimsiz otomasyon","automation.updateDirective.update":"Güncelle","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# deneme} other {# deneme}}","cloudTaskRow.archiveError":"Görev arşivlenemedi","code.diff.requestChange":"Değişiklik iste","code.diffComment.cancel":"İptal et","code.diffComment.comment":"Yorum","code.diffComment.delete":"Sil","code.diffComment.save":"Kaydet","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Bildirilen bulgu yok.","codex.alert.closeAriaLabel":"Kapat","codex.appUpsellBanner.cbpApi.message":"Codex uygulamasıyla daha hızlı geliştir. Şimdi indir veya {learnMoreLink}.","codex.appUpsellBanner.download":"İndir","codex.appUpsellBanner.freeGo.message":"Codex, 2 Mart’a kadar planına dâhildir. Daha hızlı geliştirmek için Codex uygulamasını dene.","codex.appUpsellBanner.later":"Daha sonra","codex.appUpsellBanner.learnMoreLowercase":"daha fazla bilgi al","codex.appUpsellBanner.new":"Yeni","codex.appUpsellBanner.proPlusBusiness.message":"Codex uygulamasını 2 Nisan’a kadar 2 kat daha fazla istek limitiyle dene. Şimdi indir veya {learnMoreLink}.","codex.appUpsellBanner.title":"Codex uygulaması","codex.applyDropdown.header.changes":"Değişiklikler","codex.applyDropdown.header.fileCount":"{count, plural, one {# dosya} other {# dosya}}","codex.applyDropdown.header.rows":"satır","codex.applyDropdown.header.title":"Değişiklikleri uygula","codex.applyDropdown.header.workspace":"Proje","codex.applyDropdown.results.conflicted":"{count, plural, one {1 dosya çakıştı:} other {{count} dosya çakıştı:}}","codex.applyDropdown.results.empty":"Kopyalanan dosya yok","codex.applyDropdown.results.skipped":"{count, plural, one {1 dosya atlandı:} other {{count} dosya atlandı:}}","codex.applyOrRevertBanner.apply":"Uygula","codex.applyOrRevertBanner.applyMessage":"Değişiklikler uygulanıp yerel olarak devam edilsin mi?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Bu görev {environment} ortamında yapıldığı için temiz bir şekilde uygulanamayabilir.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Değişiklikler {environment} ortamında yapıldığı için temiz bir şekilde uygulanamayabilir.","codex.applyOrRevertBanner.reapply":"Tekrar uygula","codex.applyOrRevertBanner.revert":"Geri al","codex.applyOrRevertBanner.revertMessage":"Uygulanan değişiklikler geri alınsın mı?","codex.applyResultsDialog.applied":"Temiz bir şekilde uygulandı ({count})","codex.applyResultsDialog.close":"Kapat","codex.applyResultsDialog.conflicted":"Çakıştı ({count})","codex.applyResultsDialog.noDetails":"Dosya ayrıntısı yok.","codex.applyResultsDialog.skipped":"Atlandı ({count})","codex.applyResultsDialog.title":"Sonuçları uygula","codex.archiveInfo":"{dataControlsLink} dâhilindeki arşivlenmiş sohbetleri görüntüle","codex.archiveInfo.dataControlsLink":"Veri Kontrolleri","codex.archiveInfo.electron":"{settingsLink} dâhilindeki arşivlenmiş sohbetleri görüntüle","codex.archiveInfo.extension":".codex klasöründeki arşivlenmiş sohbetleri görüntüle.","codex.archiveInfo.settingsLink":"Ayarlar","codex.banner.content.description":"Görevleri paralel olarak çalıştır, ilerlemeyi her yerde takip et ve PR’leri yapay zeka ile incele.","codex.banner.content.headline":"Codex bunların hepsini yapar.","codex.cloudTaskRow.archiveTask":"Görevi arşivle","codex.cloudTaskRow.confirmArchiveTask":"Onayla","codex.command.feedback":"Geri Bildirim","codex.command.findInThread":"Bul","codex.command.forceReloadSkills":"Yetenekleri zorla yeniden yükle","codex.command.logOut":"Oturumu kapat","codex.command.manageTasks":"Görevleri yönet","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Geri","codex.command.navigateForward":"İleri","codex.command.newThread":"Yeni mesaj dizisi","codex.command.nextThread":"Sonraki mesaj dizisi","codex.command.openFolder":"Klasörü aç","codex.command.openSkills":"Becerilere git","codex.command.openThreadOverlay":"Mesaj dizisini yeni pencerede aç","codex.command.personalitySettings":"Kişilik","codex.command.previousThread":"Önceki mesaj dizisi","codex.command.settings":"Ayarlar","codex.command.toggleDiffPanel":"Fark panelini değiştir","codex.command.toggleSidebar":"Kenar çubuğunu değiştir","codex.command.toggleTerminal":"Terminali değiştir","codex.commandGroup.app":"Uygulama","codex.commandGroup.configure":"Yapılandır","codex.commandGroup.navigation":"Gezinme","codex.commandGroup.panels":"Paneller","codex.commandGroup.skills":"Beceriler","codex.commandGroup.thread":"Mesaj dizisi","codex.commandGroup.workspace":"Proje","codex.commandMenu.noResults":"Eşleşme yok","codex.commandMenu.searchPlaceholder":"Komutları ara","codex.commandMenu.suggestedGroup":"Önerilen","codex.commandMenu.switchWorkspace":"Proje değiştir","codex.commandMenu.title":"Komut menüsü","codex.common.retry":"Yeniden dene","codex.composer.searchBranches":"Dalları ara","codex.dialog.basic.body":"Bu, wrapper’ımızı Radix Dialog ile kullanan basit bir iletişim penceresidir.","codex.dialog.basic.cancel":"İptal et","codex.dialog.basic.confirm":"Onayla","codex.dialog.basic.open":"İletişim Kutusunu Aç","codex.dialog.basic.title":"Örnek İletişim Kutusu","codex.dialog.long.close":"Kapat","codex.dialog.long.line":"İletişim kutusundaki uzun içeriği gösteren kaydırılabilir satır {index}.","codex.dialog.long.open":"Uzun İletişim Kutusunu Aç","codex.dialog.long.title":"Uzun İçerik İletişim Kutusu","codex.dialog.unstyled.body":"Bu, iletişim kutusu içeriğinin görsel stilinin tamamen çağıran tarafından kontrol edilebildiğini gösterir.","codex.dialog.unstyled.open":"Stilsiz İletişim Kutusunu Aç","codex.dialog.unstyled.title":"Stilsiz İçerik","codex.diff.openInEditorPrompt.openButton":"Düzenleyicide aç","codex.diff.openInEditorPrompt.singleLine":"Bu dosya burada görüntülenemeyecek kadar büyük.","codex.diffView.failedToDecodeBase64Diff":"base64 diff deşifre edilemedi","codex.diffView.filesChanged":"{fileCount, plural, one {# dosya değiştirildi} other {# dosya değiştirildi}}","codex.diffView.imagePreviewAlt":"Görsel ön izleme","codex.diffView.imagePreviewEmpty":"Görsel yok","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"diff verisi yok","codex.diffView.pdfPreview.nextPage":"Sonraki sayfa","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Önceki sayfa","codex.diffView.pdfPreviewEmpty":"PDF ön izlemesi yok","codex.diffView.pdfPreviewError":"PDF ön izlemesi işlenemedi","codex.diffView.richPreviewDisable":"Zengin ön izlemeyi devre dışı bırak","codex.diffView.richPreviewEnable":"Zengin ön izlemeyi etkinleştir","codex.diffView.richPreviewLoading":"Ön izleme yükleniyor...","codex.diffView.richPreviewToggle":"Zengin ön izlemeyi aç/kapat","codex.diffView.switchToUnified":"Birleştirilmiş diff’e geç","codex.environmentSelector.noEnvironment":"Ortam yok","codex.environments.environmentSettings":"Ortam ayarları","codex.environments.learnMore":"Daha fazla bilgi al","codex.environments.listError":"Ortamlar yüklenemedi.","codex.environments.noEnvironmentsFound":"Hiçbir ortam bulunamadı","codex.environments.searchError":"Ortamlar aranamadı.","codex.errorBoundary.genericError":"Bir hata oluştu","codex.errorBoundary.goHome":"Tekrar dene","codex.file.patch.missing":"Bu dosya için yama oluşturulamadı.","codex.gallery.automations.cwdLabel":"Projeler","codex.gallery.automations.nameLabel":"Ad","codex.gallery.automations.namePlaceholder":"Bir görevi özetle","codex.gallery.automations.promptLabel":"İstem","codex.gallery.automations.promptPlaceholder":"Codex’in ne yapması gerektiğini açıkla","codex.gallery.dialogs.automation.label":"Otomasyon iletişim kutusu","codex.gallery.dialogs.basic.body":"Basit onaylar veya kısa formlar için bu düzeni kullan.","codex.gallery.dialogs.basic.cancel":"İptal et","codex.gallery.dialogs.basic.confirm":"Onayla","codex.gallery.dialogs.basic.label":"Temel iletişim kutusu","codex.gallery.dialogs.basic.title":"Örnek iletişim kutusu","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Sorunu açıkla","codex.gallery.dialogs.feedbackSubmission.bad":"Kötü sonuç","codex.gallery.dialogs.feedbackSubmission.bug":"Hata","codex.gallery.dialogs.feedbackSubmission.good":"İyi sonuç","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Mevcut Codex oturum günlüklerini dâhil et","codex.gallery.dialogs.feedbackSubmission.label":"Geri bildirim gönderimi","codex.gallery.dialogs.feedbackSubmission.other":"Diğer","codex.gallery.dialogs.feedbackSubmission.placeholder":"Sorunu burada açıkla","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"Güvenlik Kontrolü","codex.gallery.dialogs.feedbackSubmission.submit":"Gönder","codex.gallery.dialogs.feedbackSubmission.title":"Geri Bildirim","codex.gallery.dialogs.feedbackSuccess.body":"Geri bildirim yüklendi. Sorun devam ederse lütfen bir GitHub sorunu aç veya mevcut bir çözümlenmemiş sorunda mesaj dizini kimliğinden bahset:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Kapat","codex.gallery.dialogs.feedbackSuccess.label":"Geri bildirim başarısı","codex.gallery.dialogs.feedbackSuccess.title":"Geri bildirim yüklendi","codex.gallery.dialogs.gitApplyResults.applied":"Temiz bir şekilde uygulandı (2)","codex.gallery.dialogs.gitApplyResults.close":"Kapat","codex.gallery.dialogs.gitApplyResults.conflicted":"Çakıştı (1)","codex.gallery.dialogs.gitApplyResults.label":"Sonuçları uygula","codex.gallery.dialogs.gitApplyResults.title":"Sonuçları uygula","codex.gallery.dialogs.gitPushError.body":"En son değişiklikleri çek veya uzak geçmişin üzerine yazılmasının güvenli olduğundan eminsen zorla gönder.","codex.gallery.dialogs.gitPushError.cancel":"İptal et","codex.gallery.dialogs.gitPushError.force":"Zorla gönder","codex.gallery.dialogs.gitPushError.label":"Gönderme hatası","codex.gallery.dialogs.gitPushError.subtitle":"Yerel dalın, origin/main dalının gerisinde.","codex.gallery.dialogs.gitPushError.title":"Gönderim değişiklikleri kaydedilemedi","codex.gallery.dialogs.gitRevert.cancel":"İptal et","codex.gallery.dialogs.gitRevert.confirm":"Değişikliği geri al","codex.gallery.dialogs.gitRevert.label":"Değişiklikleri geri al","codex.gallery.dialogs.gitRevert.skip":"Tekrar sorma","codex.gallery.dialogs.gitRevert.subtitle":"Bu eylem tüm değişiklikleri kaldırır.","codex.gallery.dialogs.gitRevert.title":"Değişiklikler geri alınsın mı?","codex.gallery.dialogs.longForm.label":"Uzun formatlı iletişim kutusu","codex.gallery.dialogs.proseModal.body":"Bu bilgi penceresi daha uzun talimatlar, oryantasyon ve zengin içerikli bloklar içerik blokları için kullanılır.","codex.gallery.dialogs.proseModal.close":"Kapat","codex.gallery.dialogs.proseModal.subtitle":"Daha uzun formatlı yönlendirme veya belgeleri burada paylaş.","codex.gallery.dialogs.proseModal.title":"Düzyazı bilgi penceresi","codex.gallery.dialogs.submitBlocked.label":"Gönderim engellendi","codex.gallery.dialogs.submitBlocked.message":"Proje kullanılamadığı için mesajın gönderilemedi.","codex.gallery.dialogs.submitBlocked.ok":"Tamam","codex.gallery.dialogs.submitBlocked.title":"İleti gönderilemiyor","codex.gallery.dialogs.title":"İletişim kutuları","codex.gallery.dropdown.filterPlaceholder":"Öğeleri filtrele","codex.gallery.dropdowns.actionRow":"Eylem satırları","codex.gallery.dropdowns.actionRow.disabled":"Devre dışı bırakılan eylem","codex.gallery.dropdowns.actionRow.primary":"Birincil eylem","codex.gallery.dropdowns.actionRow.secondary":"İkincil eylem","codex.gallery.dropdowns.actionRow.trigger":"Eylemleri göster","codex.gallery.dropdowns.basic":"Temel açılır menü","codex.gallery.dropdowns.basic.newFile":"Yeni dosya","codex.gallery.dropdowns.basic.newFolder":"Yeni klasör","codex.gallery.dropdowns.basic.openSettings":"Ayarları aç","codex.gallery.dropdowns.basic.title":"Hızlı eylemler","codex.gallery.dropdowns.basic.trigger":"Menüyü aç","codex.gallery.dropdowns.basic.upload":"Karşıya yükle","codex.gallery.dropdowns.panel":"Panel yüzeyi","codex.gallery.dropdowns.panel.apply":"Uygula","codex.gallery.dropdowns.panel.body":"Diff’leri incele ve projene uygula.","codex.gallery.dropdowns.panel.preview":"Ön İzleme","codex.gallery.dropdowns.panel.title":"Değişiklikleri uygula","codex.gallery.dropdowns.panel.trigger":"Paneli aç","codex.gallery.dropdowns.search":"Arama özellikli açılır menü","codex.gallery.dropdowns.search.first":"Alpha kanal","codex.gallery.dropdowns.search.second":"Beta dal","codex.gallery.dropdowns.search.third":"Sürüm adayı","codex.gallery.dropdowns.search.trigger":"Öğeleri filtrele","codex.gallery.dropdowns.submenu":"Alt menülü açılır menü","codex.gallery.dropdowns.submenu.optionA":"Proje alpha","codex.gallery.dropdowns.submenu.optionB":"Proje beta","codex.gallery.dropdowns.submenu.optionC":"Proje gamma","codex.gallery.dropdowns.submenu.primary":"Sahip ata","codex.gallery.dropdowns.submenu.secondary":"Şuraya taşı:","codex.gallery.dropdowns.submenu.tertiary":"Arşivle","codex.gallery.dropdowns.submenu.trigger":"Eylem seç","codex.gallery.dropdowns.title":"Açılır menüler","codex.gallery.inbox.automations.close":"Kapat","codex.gallery.inbox.automations.popover.cardTitle":"Otomasyonları yönet","codex.gallery.inbox.automations.popover.dialogTitle":"Otomasyonları yönet","codex.header.settingsTooltip":"Ayarlar","codex.hunk.patch.error":"Staging alanına alma işlemi başarısız","codex.hunk.patch.missing":"Bu değişiklik bloku için yama oluşturulamadı.","codex.hunk.patch.partialSuccess":"Kısmen başarılı","codex.hunk.patch.revertError":"Staging alanına almama işlemi başarısız","codex.hunk.patch.revertSuccess":"Staging alanına almama işlemi başarılı","codex.hunk.patch.success":"Staging alanına alma işlemi başarılı","codex.legal.autonomy.details":"Daha fazla ayrıntı için: {link}","codex.legal.autonomy.details.link":"Codex belgeleri","codex.legal.autonomy.title":"Ne kadar otonomi vermek istediğine karar ver","codex.legal.backButton":"Geri","codex.legal.cloud.taskOne.meta":"openai/agi · 12 Ekim","codex.legal.cloud.taskOne.title":"Depoyu yeni bir tasarımcıya açıkla","codex.legal.cloud.taskThree.meta":"openai/codex · 8 Ekim","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Karanlık mod teması oluştur","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 Ekim","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Oryantasyon hatasını düzelt","codex.legal.continue.apikey":"Devam et","codex.legal.continueButton":"Sonraki","codex.legal.copilot.details":"Tüm model çağrıları, faturalama ve istek limitleri için Copilot planını kullanır. Codex uzantı kullanımı {oaiTos} ve {gitHubTos} sözleşmelerine tabidir.","codex.legal.copilot.gitHubTosLink":"GitHub Hizmet Koşulları","codex.legal.copilot.oaiTosLink":"OpenAI Codex hizmet koşulları","codex.legal.copilot.title":"GitHub Copilot desteklidir","codex.legal.mistakes.review":"Yazdığı kodu ve çalıştırdığı komutları incele","codex.legal.mistakes.title":"Codex hata yapabilir","codex.legal.powered.details":"Planının istek limitlerini ve {link}","codex.legal.powered.details.link":"eğitim verisi tercihlerini kullanır","codex.legal.powered.title":"ChatGPT hesabını kullanır","codex.legal.step.cloud.subtitle":"Arka planda yürütülmek üzere görevleri Codex’e gönder. Böylece daha iyi odaklanabilir ve daha hızlı hareket edebilirsin.","codex.legal.step.cloud.title":"Bulutta Codex’e gönder","codex.legal.step.intro.subtitle":"Codex; komutlarda gezinir, komutları düzenler, yürütür ve testleri doğrudan deponda çalıştırır. ChatGPT hesabını kullanır.","codex.legal.step.intro.title":"Kendi IDE’nde Codex","codex.legal.step.todo.subtitle":"Bir TODO yorumu yaz ve bunu tek bir tıkla Codex görevine dönüştür.","codex.legal.step.todo.title":"TODO’ları Codex görevlerine dönüştür","codex.legal.todo.heading":"// TODO: şemayı uygula","codex.localConversation.closeImagePreview":"Görsel ön izlemesini kapat","codex.localConversation.userImageAttachment":"Kullanıcı eki","codex.localTaskRow.archiveTask":"Mesaj dizisini arşivle","codex.localTaskRow.awaitingApproval":"Onay bekleniyor","codex.localTaskRow.awaitingResponse":"Yanıt bekleniyor","codex.localTaskRow.confirmArchiveTask":"Onayla","codex.loggedOut.apiKeyPrompt.cancel":"İptal et","codex.loggedOut.apiKeyPrompt.confirm":"Tamam","codex.loggedOut.apiKeyPrompt.getKey":"API Anahtarını al","codex.loggedOut.apiKeyPrompt.inputLabel":"OpenAI API anahtarını gir","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Bulut görevleri API anahtarıyla devre dışı bırakıldı","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Bulut görevleri Copilot ve API anahtarıyla devre dışı bırakıldı","codex.loggedOut.signIn":"ChatGPT ile oturum aç","codex.loggedOut.signIn.cancel":"Oturum açmayı iptal et","codex.loggedOut.signInWithCopilot":"GitHub Copilot ile oturum aç","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API Anahtarını kullan","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} aracı","codex.mcpTool.collapsedLabel.verb.called":"Çağırıldı","codex.mcpTool.collapsedLabel.verb.calling":"Çağrılıyor","codex.mcpTool.embeddedResource.contentLabel":"İçerik","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME türü","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Araç herhangi bir içerik getirmedi","codex.mcpTool.rawPayloadHeading":"Ham {server}.{tool} araç çağrısı yük verisi","codex.menu.recent":"Yakın zamanda","codex.menu.seeAllHistory":"Tüm geçmişi gör","codex.modelCapacityBanner.headline.noReset":"{modelName} şu anda kapasitesinin sınırına ulaştı. Daha sonra tekrar dene veya başka bir modelle yeni bir konuşma başlat.","codex.modelCapacityBanner.headline.withReset":"{modelName} şu anda kapasitesinin sınırına ulaştı. {resetDate} sonra tekrar dene veya başka bir modelle yeni bir konuşma başlat.","codex.modelCapacityBanner.title":"Seçilen model kapasite sınırına ulaştı","codex.patch.change.contentsDeleted":"İçerikler silindi","codex.patch.change.created":"Oluşturma tarihi:","codex.patch.change.created-file":"Dosya oluşturuldu","codex.patch.change.creating":"Oluşturuluyor","codex.patch.change.deleted":"Silindi","codex.patch.change.deleted-file":"Dosya silindi","codex.patch.change.deleting":"Siliniyor","codex.patch.change.edited":"Düzenlendi","codex.patch.change.edited-file":"Düzenlenen dosya","codex.patch.change.editing":"Düzenliyor","codex.patch.change.noChanges":"Değişiklik yok","codex.patch.change.rejected-add":"Reddedildi","codex.patch.change.rejected-delete":"Reddedildi","codex.patch.change.rejected-edit":"Reddedildi","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed} / {total} görev tamamlandı","codex.plan.todoListCreated":"Yapılacaklar listesi {total} görevle oluşturuldu","codex.profileDropdown.apiKeyAuth":"API anahtarı ile oturum açıldı","codex.profileDropdown.codexSettings":"Codex ayarları","codex.profileDropdown.copilotAuth":"Copilot ile oturum açıldı","codex.profileDropdown.defaultAccountTitle":"Varsayılan hesap","codex.profileDropdown.enterBehavior":"Uzun istemler göndermek için {modifierSymbol} + enter","codex.profileDropdown.enterBehaviorError":"Ayar güncellenemedi","codex.profileDropdown.getPlus":"Daha yüksek limitler için yükselt","codex.profileDropdown.keyboardShortcuts":"Klavye kısayolları","codex.profileDropdown.language":"Dil","codex.profileDropdown.languageDefault":"Otomatik Algıla","codex.profileDropdown.languageSearchPlaceholder":"Dil ara","codex.profileDropdown.languageUpdateError":"Dil güncellenemedi","codex.profileDropdown.logOut":"Oturumu kapat","codex.profileDropdown.mcp":"MCP ayarları","codex.profileDropdown.openConfigToml":"config.toml dosyasını aç","codex.profileDropdown.openConfigToml.wsl":"config.toml dosyasını WSL ortamında aç","codex.profileDropdown.openExtensionSettings":"Ayarları aç","codex.profileDropdown.openMcpSettings":"MCP ayarlarını aç","codex.profileDropdown.openOnStartup":"Başlatıldığında aç","codex.profileDropdown.openOnStartupError":"Ayar güncellenemedi","codex.profileDropdown.openSkillsSettings":"Beceri ayarlarını aç","codex.profileDropdown.personalAccountTitle":"Kişisel hesap","codex.profileDropdown.queueFollowUps":"Takipleri sıraya al","codex.profileDropdown.queueFollowUpsError":"Ayar güncellenemedi","codex.profileDropdown.readDocs":"Belgeleri oku","codex.profileDropdown.readSkillsDocs":"Belgeleri oku","codex.profileDropdown.runInWsl":"WSL’de çalıştır","codex.profileDropdown.runInWslError":"Ayar güncellenemedi","codex.profileDropdown.runInWslTooltip":"Codex’i WSL’de çalıştırır. Gelişmiş korumalı alan güvenliği ve daha iyi performans için önerilir.","codex.profileDropdown.settings":"IDE ayarları","codex.profileDropdown.settingsPage":"Ayarlar","codex.profileDropdown.signInWithOpenAI":"ChatGPT ile oturum aç","codex.profileDropdown.skills":"Beceri ayarları","codex.profileDropdown.switchToCopilotAccount":"Copilot hesabını kullan","codex.profileDropdown.switchToOpenAIAccount":"OpenAI hesabını kullan","codex.profileDropdown.todoCodelens":"TODO yorumlarını çözümle","codex.profileDropdown.todoCodelensError":"Ayar güncellenemedi","codex.profileDropdown.windowsDocumentation":"Windows Belgeleri","codex.profileFooter.signedInFallback":"Ayarlar","codex.profileFooter.upgrade":"Yükselt","codex.recentTasksMenu.clearSearch":"Aramayı temizle","codex.recentTasksMenu.cloud":"Bulut görevleri","codex.recentTasksMenu.count":"{count, plural, =0 {Devam eden görev yok} one {# görev devam ediyor} other {# görev devam ediyor}}","codex.recentTasksMenu.empty":"Henüz mesaj dizisi yok","codex.recentTasksMenu.errorCloud":"Görevler yüklenemedi.","codex.recentTasksMenu.errorCloud.inline":"Bulut görevleri yüklenemedi.","codex.recentTasksMenu.filterAll":"Tümü","codex.recentTasksMenu.filterCloudTasks":"Bulut görevlerini filtrele","codex.recentTasksMenu.filterTooltip":"Görevleri ortama göre filtrele","codex.recentTasksMenu.local":"Yerel görevler","codex.recentTasksMenu.recent":"Tüm görevler","codex.recentTasksMenu.search":"Son görevleri ara","codex.recentTasksMenu.searchEmpty":"Sonuç yok","codex.recentTasksMenu.tooltip":"Görev geçmişi","codex.recentTasksMenu.trigger":"Son görevler. {count, plural, one {# devam ediyor} other {# devam ediyor}}","codex.remoteConversation.applyDiff.applyCta":"Değişiklikleri uygula","codex.remoteConversation.applyDiff.dropdownTitle":"Değişiklikleri bir yerel dala uygula","codex.remoteConversation.applyDiff.revertCta":"Değişiklikleri geri al","codex.remoteConversation.closeImagePreview":"Görsel ön izlemesini kapat","codex.remoteConversation.codexCloudTask":"Bir <u>Codex bulut</u> görevini görüntülüyorsun","codex.remoteConversation.errorWithMessage":"Hata: {message}","codex.remoteConversation.loadingImage":"Görsel yükleniyor","codex.remoteConversation.openInWeb":"Web’de aç","codex.remoteConversation.streaming":"Başlıyor","codex.remoteConversation.turnFailed":"Bu görev sırasında bir hata oluştu","codex.remoteConversation.turnTab.loading":"Deneme {number}","codex.remoteConversation.turnTab.title":"Deneme {number}","codex.remoteConversation.userImageAttachment":"Kullanıcı eki","codex.remoteConversation.viewPreviousTurns":"Web’de aç","codex.remoteConversation.viewPreviousTurns.buttonText":"Aç","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Web’de aç","codex.review.copyGitApplyCommand":"Git apply komutunu kopyala","codex.review.copyGitApplyCommand.toast":"Git apply komutu not panosuna kopyalandı","codex.review.diffTooLarge.description":"Bu diff, İnceleme bölümünde görüntülenemeyecek kadar büyük.","codex.review.diffTooLarge.title":"Diff görüntülenemeyecek kadar büyük","codex.review.expandOrCollapseDiffButton.collapse":"Tüm diff’leri daralt","codex.review.expandOrCollapseDiffButton.expand":"Tüm diff’leri genişlet","codex.review.expandOrCollapseDiffMenu.collapse":"Tüm diff’leri daralt","codex.review.expandOrCollapseDiffMenu.expand":"Tüm diff’leri genişlet","codex.review.fileSearch.clear":"Dosya filtresini temizle","codex.review.fileSearch.empty":"Mevcut filtreyle eşleşen dosya bulunamadı.","codex.review.fileSearch.label":"Dosyaları filtrele","codex.review.fileSearch.placeholder":"Dosyaları filtrele…","codex.review.filesChanged":"{num, plural, =0 {Değiştirilen dosya yok} one {# dosya değiştirildi} other {# dosya değiştirildi}}","codex.review.find.loadMore":"Daha fazla eşleşme yükle","codex.review.fullReview.hideFileTree":"Dosya ağacını gizle","codex.review.fullReview.showFileTree":"Dosya ağacını göster","codex.review.header.moreOptions":"İnceleme seçenekleri","codex.review.largeDiff.banner":"Büyük diff tespit edildi, aynı anda bir dosya gösteriliyor.","codex.review.loadFullFiles.disable":"Tam dosyaları yükleme","codex.review.loadFullFiles.enable":"Tam dosyaları yükle","codex.review.noDiff":"Dosya değişiklikleri burada gösterilecek","codex.review.noDiff.gitInit.createRepository":"Git deposu oluştur","codex.review.noDiff.gitInit.creating":"Oluşturuluyor...","codex.review.noDiff.gitInit.error":"Git init başarısız: {message}","codex.review.noDiff.gitInit.success":"Git deposu oluşturuldu","codex.review.noDiff.gitRepoRequired.description":"Bu projedeki değişiklikleri izle ve geri al","codex.review.noDiff.gitRepoRequired.title":"Bir Git deposu oluştur","codex.review.noDiff.orNoLongerAvailable":"veya son diff’ler artık mevcut değil","codex.review.noDiff.reverted":"Son tur geri döndürüldü","codex.review.noDiff.revertedOrCommitted":"Son tur geri döndürüldü veya commit edildi","codex.review.refreshGitQueries":"Yenile","codex.review.revert.file.error":"{path} dosyasındaki değişiklikler geri alınamadı","codex.review.revert.file.partialSuccess":"{path} dosyasındaki değişiklikler kısmen geri alındı","codex.review.revert.file.success":"{path} dosyasındaki değişiklikler geri alındı","codex.review.revert.hunk.error":"{path} dosyasındaki {hunkNumber} değişiklik bloku değişiklikleri geri alınamadı","codex.review.revert.hunk.partialSuccess":"{path} dosyasındaki {hunkNumber} değişiklik bloku değişiklikleri kısmen geri alındı","codex.review.revert.hunk.success":"{path} dosyasındaki {hunkNumber} değişiklik bloku değişiklikleri geri alındı","codex.review.revert.section.error":"Bölümdeki değişiklikler geri alınamadı","codex.review.revert.section.partialSuccess":"Bölümdeki değişiklikler kısmen geri alındı","codex.review.revert.section.success":"Bölümdeki değişiklikler geri alındı","codex.review.revertDialog.cancel":"İptal et","codex.review.revertDialog.confirm":"Onayla","codex.review.revertDialog.message":"Bu eylem tüm değişiklikleri kaldırır.","codex.review.revertDialog.skip":"Tekrar sorma","codex.review.revertDialog.title":"Değişiklikler geri alınsın mı?","codex.review.richPreview.disable":"Zengin ön izlemeyi devre dışı bırak","codex.review.richPreview.enable":"Zengin ön izlemeyi etkinleştir","codex.review.source.cloud":"Bulut değişiklikleri","codex.review.source.local.all":"Tüm dal değişiklikleri","codex.review.source.local.lastTurn":"Son tur değişiklikleri","codex.review.source.local.uncommitted":"Commit edilmemiş değişiklikler","codex.review.source.worktree":"Commit edilmemiş worktree değişiklikleri","codex.review.stageFilter.empty.staged.description":"Staging alanına almak için düzenlemeleri kabul et","codex.review.stageFilter.empty.staged.title":"Staging alanına alınan değişiklik yok","codex.review.stageFilter.empty.unstaged.description":"Kod değişiklikleri burada gösterilecek","codex.review.stageFilter.empty.unstaged.title":"Staging alanına alınmayan değişiklik yok","codex.review.stageFilter.staged":"Staging alanına alındı","codex.review.stageFilter.staged.count":"Staging alanına alındı · {count}","codex.review.stageFilter.unstaged":"Staging alanına alınmadı","codex.review.stageFilter.unstaged.count":"Staging alanına alınmadı · {count}","codex.review.switchToSplit":"Bölünmüş fark görünümüne geç","codex.review.switchToUnified":"Birleştirilmiş diff’e geç","codex.review.toggleDiffView":"Fark görünümünü değiştir","codex.review.wordDiffs.disable":"Kelime diff’lerini devre dışı bırak","codex.review.wordDiffs.enable":"Kelime diff’lerini etkinleştir","codex.review.wrap.disable":"Kelime kaydırmayı devre dışı bırak","codex.review.wrap.enable":"Kelime kaydırmayı etkinleştir","codex.section.patch.missing":"Bu bölüm için yama oluşturulamıyor.","codex.shell.collapse":"Kabuğu daralt","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Kabuk içerikleri kopyalandı","codex.shell.copy.copyTooltip":"Kabuk içeriklerini kopyala","codex.shell.copyCommand":"Komutu kopyala","codex.shell.copyOutput":"Çıktıyı kopyala","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Kabuğu genişlet","codex.shell.name":"Kabuk","codex.shell.noOutput":"Çıktı yok","codex.signInFailed.message":"Oturum açılamadı: {rawMessage}","codex.stories.toast.show":"Toast’u Göster","codex.stories.tooltip.basic":"Bu bir araç ipucu","codex.stories.tooltip.hoverMe":"Beni gezdir","codex.stories.tooltip.largerOffset":"Bu araç ipucunun daha büyük bir ofseti var","codex.stories.tooltip.offsetButton":"Daha büyük ofset","codex.stories.tooltip.shortcutButton":"Kısayol ile","codex.stories.tooltip.withShortcut":"Terminali değiştir","codex.taskRow.title":"Yeni mesaj dizisi","codex.taskRowLayout.confirm":"Onayla","codex.threadFindBar.chatFilter":"Sohbette ara","codex.threadFindBar.close":"Bul çubuğunu kapat","codex.threadFindBar.diffFilter":"Diff’lerde ara","codex.threadFindBar.label":"Mesaj dizisinde bul","codex.threadFindBar.nextResult":"Sonraki sonuç","codex.threadFindBar.noResults":"0 sonuç","codex.threadFindBar.placeholder":"Mesaj dizisinde ara…","codex.threadFindBar.placeholder.extension":"Mesaj dizisinde ara…","codex.threadFindBar.placeholder.review":"Diff ara…","codex.threadFindBar.placeholder.review.extension":"Diff ara…","codex.threadFindBar.previousResult":"Önceki sonuç","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# dosya değiştirildi} other {# dosya değiştirildi}}","codex.unifiedDiff.inlineLargeFile":"Satır içi işlemek için çok büyük","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Geri Al","codex.unifiedDiff.revertPatchError":"Değişiklikler geri alınamadı","codex.unifiedDiff.revertPatchSuccess":"Değişiklikler geri alındı","codex.unifiedDiff.reviewChangesSuffix":"değişiklikler","codex.unifiedDiff.reviewShort":"İncele","codex.unifiedDiff.viewDiffTooltip":"İncele","codex.upsellBanner.business.headline":"Hemen şimdi daha fazla erişim için yöneticine istek gönder ya da limitin {resetDate} itibarıyla sıfırlanana kadar bekle.","codex.upsellBanner.cbp.headline":"Hemen şimdi daha fazla erişim için yöneticine istek gönder.","codex.upsellBanner.cta.addCredits":"Kredi ekle","codex.upsellBanner.cta.upgradeAccount":"Yükselt","codex.upsellBanner.cta.viewUsage":"Kullanımı Görüntüle","codex.upsellBanner.free.trialHeadline":"Limitin {resetDate} tarihinde sıfırlanacak. Codex’i kullanmaya devam etmek ve GPT-5.3-Codex’e erişmek için ücretsiz Plus denemeni bugün başlat.","codex.upsellBanner.freeOrGo.headline":"İstek limitin {resetDate} itibarıyla sıfırlanacak. Codex’i kullanmaya devam etmek için bugün Plus’a yükselt.","codex.upsellBanner.general.headline":"İstek limitin {resetDate} itibarıyla sıfırlanacak.","codex.upsellBanner.general.title":"Codex iletilerin tükendi","codex.upsellBanner.go.trialHeadline":"Limitin {resetDate} tarihinde sıfırlanacak. Codex’i kullanmaya devam etmek için ücretsiz Plus denemeni bugün başlat.","codex.upsellBanner.plus.headline":"İstek limitin {resetDate} itibarıyla sıfırlanacak. Codex’i kullanmaya devam etmek için kredi ekle veya bugün Pro’ya yükselt.","codex.upsellBanner.pro.headline":"İstek limitin {resetDate} itibarıyla sıfırlanacak. Codex’i kullanmaya devam etmek için kredi ekle.","codex.userMessage.autoResolveSync":"Çakışmaları otomatik olarak çözümle","codex.userMessage.commentCount":"{count, plural, one {# yorum} other {# yorum}}","codex.userMessage.copiedAriaLabel":"Kopyalandı","codex.userMessage.copiedTooltip":"Kopyalandı","codex.userMessage.copyAriaLabel":"İletiyi kopyala","codex.userMessage.copyTooltip":"Kopyala","codex.userMessage.implementPlan":"Planı uygula","codex.userMessage.noContent":"(İçerik yok)","codex.userMessage.priorConversation":"Önceki konuşmayı referans alır","codex.userMessage.reviewMode":"İnceleme modu","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} için","codex.webSearch.summary.verb.completed":"Web’de arama yapıldı","codex.webSearch.summary.verb.inProgress":"Web’de arama yapılıyor","codex.windowsInstallWslBanner.dismiss":"Kapat","codex.windowsInstallWslBanner.installWslCta":"Sanal ortamı etkinleştir","codex.windowsInstallWslBanner.learnMore":"Daha fazla bilgi al","codex.windowsSandboxBanner.content":"Ajan modu, dosya sistemini ve ağ erişimini sınırlandırmak için Windows’ta deneysel bir sanal ortam kullanır. {sandboxLink}","codex.windowsSandboxBanner.title":"Ajan modu için sanal ortamı etkinleştir","codex.windowsSubDropdown.windowsSandbox":"Windows Sanal Ortamı","codex.windowsSubDropdown.windowsSettings":"Windows Ayarları","codexUpgradeModal.body":"En yeni ve en gelişmiş ajan tabanlı kodlama modelimiz. Daha zeki, daha hızlı ve genel teknik işlerde daha becerikli. {link}","codexUpgradeModal.close":"Kapat","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Daha fazla bilgi al","codexUpgradeModal.title":"GPT-5.3-Codex ile tanışın","codexUpgradeModal.tryNewModel":"GPT-5.3-Codex’i şimdi dene","codexUpgradeModal.useExistingModel":"Mevcut modelle devam et","commentAttachments.numComments":"{count, plural, one {# yorum} other {# yorum}}","commentAttachments.removeAriaLabel":"Yorum ekini kaldır","common.close":"Kapat","composer.addContext.openFilePickerError":"Dosya seçici açılamıyor","composer.addContextDropdown.ariaLabel":"Dosyaları ve daha fazlasını ekle","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Dosyaları ve daha fazlasını ekle","composer.addPhotosAndFiles":"Fotoğraf ve dosya ekle","composer.atMentionList.emptyQuery":"Dosya aramak için yaz","composer.atMentionList.loading":"Dosyalar aranıyor...","composer.atMentionList.noResults":"Sonuç yok","composer.attemptsSelector.option":"{count, plural, one {# sürüm} other {# sürüm}}","composer.attemptsSelector.tooltip":"Codex’in yapacağı paralel deneme sayısı","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.runningLabel":"{count, plural, one {# terminal} other {# terminal}} çalıştırılıyor","composer.backgroundTerminals.stop":"Durdur","composer.cleanBackgroundTerminals.error":"Arka plan terminalleri durdurulamıyor.","composer.cloudFollowUp.cloud":"Bulut","composer.cloudFollowUp.local":"Yerel","composer.cloudFollowUp.whereRun":"Bu takip nerede yürütülsün?","composer.cloudTaskCreationError":"Bulut görevi oluşturma hatası","composer.cloudTaskError":"Görev oluşturma hatası","composer.contextWindow.autoCompactionTooltipLine1":"Codex, bağlamını otomatik olarak sıkıştırır","composer.contextWindow.usagePercent":"%{usage}","composer.contextWindowUsageLabel":"Bağlam penceresi:","composer.contextWindowUsageStatusFull":"%{usage} dolu","composer.contextWindowUsageStatusLeft":"%{usage} kullanıldı (%{remaining} kaldı)","composer.contextWindowUsageTooltip":"{usedTokens}000 / {contextWindow}000 token kullanıldı","composer.customCliTooltip":"Çalıştırılabilir özel bir CLI kullanılıyor","composer.dictation.aria":"Dikte et","composer.dictation.cancel.aria":"Dikteyi durdur","composer.dictation.cancel.tooltip":"Dikteyi durdur","composer.dictation.startError":"Dikte başlatılamıyor","composer.dictation.submit.aria":"Deşifre et ve gönder","composer.dictation.submit.tooltip":"Deşifre et ve gönder","composer.dictation.tooltip":"Dikte etmek basılı tut","composer.dictation.transcribeError":"Ses deşifre edilemiyor","composer.dictation.unsupported":"Dikte özelliği bu cihazda kullanılamıyor","composer.dropOverlay.holdShift":"Bırakmak için {key} görselini tut","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Yeni ortam oluştur","composer.environmentSelector.error":"Ortam yükleme hatası","composer.environmentSelector.goBack":"Birleştiriciye geri dön","composer.environmentSelector.title":"Ortam seç","composer.environmentSelector.tooltip":"Bir bulut ortamı seç","composer.feedbackSlashCommand.title":"Geri Bildirim","composer.filePicker.selectFile":"Bir dosya seç","composer.filePicker.selectFiles":"Dosyaları seç","composer.followerTooltip":"Devam etmek için, bu konuşmanın başladığı pencereye geri dön.","composer.footer.branchSwitch.checkoutError":"Dal değiştirilemedi: {message}","composer.footer.branchSwitch.createAndCheckout":"Yeni bir dal oluştur ve checkout et…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Yeni bir dal oluşturmak ve checkout etmek için değişiklikleri commit et","composer.footer.branchSwitch.createBranchError":"Dal oluşturulamadı: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Dal adı","composer.footer.branchSwitch.createDialog.branchExistsError":"Dal zaten var.","composer.footer.branchSwitch.createDialog.close":"Kapat","composer.footer.branchSwitch.createDialog.createAndCheckout":"Oluştur ve checkout et","composer.footer.branchSwitch.createDialog.placeholder":"yeni-dal","composer.footer.branchSwitch.createDialog.title":"Dalı oluştur ve checkout et","composer.footer.branchSwitch.createDialog.trailingSlashError":"Dal adı “/” ile bitemez.","composer.footer.branchSwitch.tooltip":"Dalı değiştir","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName} dalını check out etmek için {fileCount, plural, one {# dosya} other {# dosya}} üzerindeki değişiklikleri commit et.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit koşulu:","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} dalını check out etmek için {fileCount, plural, one {# dosya} other {# dosya}} üzerindeki değişiklikleri commit et.","composer.footer.branchSwitch.uncommittedDialog.cancel":"İptal et","composer.footer.branchSwitch.uncommittedDialog.commit":"Commit et ve dalı değiştir…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Checkout ettiğinde, şu dosyalarda yaptığın değişikliklerin üzerine yazılır:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Devam etmek için lütfen değişiklikleri commit et","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"seçili dal","composer.footer.branchSwitch.uncommittedDialog.title":"Dalı değiştirmek için değişiklikleri commit et","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Commit edilmemiş: {fileCount, plural, one {# dosya} other {# dosya}}","composer.forkSlashCommand.description":"Bu mesaj dizisini yerele veya bir worktree dizinine çatalla","composer.forkSlashCommand.option.local.description":"Yeni bir mesaj dizisinde devam et","composer.forkSlashCommand.option.local.title":"Yerele çatalla","composer.forkSlashCommand.option.worktree.description":"Yeni worktree’de devam et","composer.forkSlashCommand.option.worktree.title":"Yeni worktree’ye çatalla","composer.forkSlashCommand.title":"Çatalla","composer.ideContextIndicator":"IDE bağlamı","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"IDE’den, {br} seçim durumu ve açık dosyalar gibi bağlamları ekle.","composer.ideContextIndicator.tooltipToggle":"ile değiştir","composer.ideContextSlashCommand.disableDescription":"IDE bağlamını kapat","composer.ideContextSlashCommand.enableDescription":"Mevcut seçimi, açık dosyaları ve IDE’ndeki diğer bağlamı dâhil et","composer.ideContextSlashCommand.title":"IDE bağlamı","composer.imageInputsUnsupported":"Bu model görsel girdilerini desteklemiyor. Farklı bir model dene.","composer.imageUploadFailed":"Görsel yüklenemedi","composer.includeIdeContextDropdown":"IDE bağlamını dâhil et","composer.includeIdeContextDropdown.ariaLabel":"IDE bağlamını dâhil et","composer.localCwdDropdown.addWorkspaceRoot":"Yeni proje ekle","composer.localCwdDropdown.noActiveRoot":"Projeni seç","composer.localCwdDropdown.noResults":"Klasör bulunamadı","composer.localCwdDropdown.title":"Projeni seç","composer.localTaskError":"Konuşma başlatma hatası","composer.mcpSlashCommand.description":"MCP sunucu durumunu göster","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Kimlik doğrulanamadı","composer.mcpStatus.authOauth":"Kimlik doğrulandı (OAuth)","composer.mcpStatus.authToken":"Kimlik doğrulandı (API anahtarı)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Kapat","composer.mcpStatus.disabled":"Devre dışı bırakıldı","composer.mcpStatus.emptyLabel":"Sunucular:","composer.mcpStatus.emptyValue":"Yapılandırılmış MCP sunucusu yok","composer.mcpStatus.enabled":"Etkin","composer.mcpStatus.errorLabel":"Durum:","composer.mcpStatus.errorValue":"MCP durumu yüklenemiyor","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Ajan","composer.mode.agentMode.auto.dropdownLabel":"Ajan","composer.mode.agentMode.auto.optionLabel":"Ajan","composer.mode.agentMode.changePermission":"Modu değiştir","composer.mode.agentMode.custom":"Özel","composer.mode.agentMode.custom.dropdownLabel":"Özel","composer.mode.agentMode.custom.option":"Özel (config.toml)","composer.mode.agentMode.custom.optionLabel":"Özel (config.toml)","composer.mode.agentMode.customInfo.cancel":"İptal et","composer.mode.agentMode.customInfo.cli":"Bu ayarları CLI’den veya doğrudan dosyayı düzenleyerek değiştirebilirsin.","composer.mode.agentMode.customInfo.confirm":"Özel modu kullan","composer.mode.agentMode.customInfo.description":"Özel mod, <link>config.toml dosyanda tanımlanan</link> onay ve sanal ortam politikalarını uygular.","composer.mode.agentMode.customInfo.docs":"Onay ve sanal ortam politikalarını yapılandırma hakkında daha fazla bilgiyi <link>yürütme ortamı belgelerinde bulabilirsin</link>.","composer.mode.agentMode.customInfo.refresh":"Yapılan değişiklikler, ajanın bir sonraki çalışmasında geçerlilik kazanır.","composer.mode.agentMode.customInfo.title":"Özel mod nasıl çalışır?","composer.mode.agentMode.fullAccess":"Ajan (tam erişim)","composer.mode.agentMode.fullAccess.dropdownLabel":"Ajan (tam erişim)","composer.mode.agentMode.fullAccess.optionLabel":"Ajan (tam erişim)","composer.mode.agentMode.fullAccessConfirm.caution":"Tam erişimi etkinleştirirken dikkatli ol. Bu işlem; veri kaybı, veri sızıntısı ve beklenmeyen davranış risklerini önemli oranda artırır.","composer.mode.agentMode.fullAccessConfirm.confirm":"Evet, yine de devam et","composer.mode.agentMode.fullAccessConfirm.description":"Codex tam erişimle çalıştığında, onayın olmadan bilgisayarındaki tüm dosyaları düzenleyebilir ve ağda komutları çalıştırabilir.","composer.mode.agentMode.fullAccessConfirm.goBack":"İptal et","composer.mode.agentMode.fullAccessConfirm.title":"Tam erişim etkinleştirilsin mi?","composer.mode.agentMode.readOnly":"Sohbet","composer.mode.agentMode.readOnly.dropdownLabel":"Sohbet","composer.mode.agentMode.readOnly.optionLabel":"Sohbet","composer.mode.agentMode.tooltip":"Modu değiştir","composer.mode.agentMode.tooltip.auto":"Dosyaları oku ve düzenle, komutları çalıştır.","composer.mode.agentMode.tooltip.custom":"config.toml dosyasında tanımlanan en yeni onay ve sanal ortam politikalarını kullan.","composer.mode.agentMode.tooltip.fullAccess":"Codex bu proje dışında dosyaları düzenleyebilir ve ağ erişimiyle komutları çalıştırabilir. Bunu kullanırken dikkatli ol.","composer.mode.agentMode.tooltip.readOnly":"Dosyaları düzenlemek ve komutları çalıştırmak için onay gerekir.","composer.mode.cloud.tooltip":"Bir bulut ortamında çalış","composer.mode.contactAdmin":"Daha fazla erişim için yöneticinle iletişime geç","composer.mode.local":"Yerel","composer.mode.local.learnMore":"Daha fazla bilgi al","composer.mode.local.model.custom":"Özel","composer.mode.local.model.loadingModel":"Model yükleniyor…","composer.mode.local.model.selecrReasoningEffort":"Akıl yürütme seç","composer.mode.local.model.selectModel":"Model seç","composer.mode.local.model.tooltip":"Model seç","composer.mode.local.ratePercent":"%{usage}","composer.mode.local.reasoning.high.label":"Yüksek","composer.mode.local.reasoning.low.label":"Düşük","composer.mode.local.reasoning.medium.label":"Orta","composer.mode.local.reasoning.minimal.label":"Minimal","composer.mode.local.reasoning.none.label":"Yok","composer.mode.local.reasoning.xhigh.label":"Ekstra Yüksek","composer.mode.localRemoteWhereRun":"Görevi nerede çalıştıracağını seç","composer.mode.newTask.header":"Şurada devam et:","composer.mode.rateLimit.day":"{days} gün","composer.mode.rateLimit.heading":"Kalan istek limiti","composer.mode.rateLimit.hour":"{hours} sa.","composer.mode.rateLimit.minute":"{minutes} dk.","composer.mode.rateLimit.modelSectionLabel":"{modelName} limiti:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {haftalık limit} other {{weeks} haftalık limit}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Haftalık} other {{weeks} Haftalık}}","composer.mode.remote.connectToCloud":"Codex web’i bağla","composer.mode.remote.connectToCloudDisabledTooltip":"Görevleri buluta gönderebilmek için Codex web üzerinden bir ortam ayarla","composer.mode.remote.selectEnvironment":"Ortam seç","composer.mode.remote.sendToCloud":"Buluta gönder","composer.mode.remote.setupViaWeb":"Codex web üzerinden bir ortam ayarla","composer.mode.runInCloud":"Bulut","composer.mode.runInCloudWithEnvironment":"Bulut · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Bulut ortamında çalış","composer.mode.segmentedToggle.local.tooltip":"Yerel projende çalış","composer.mode.segmentedToggle.worktree.tooltip":"Paralel bir worktree’de çalış","composer.mode.upgradeToPlus":"Plus’a Yükselt","composer.mode.upgradeToPro":"Pro'ya yükselt","composer.mode.workLocally":"Yerel proje","composer.mode.workLocally.currentBranchFallback":"dalın","composer.mode.workLocally.tooltip":"{branchName} üzerinde çalış","composer.mode.worktree":"Worktree dizini","composer.mode.worktree.submoduleWarning":"Bu depoda git alt modülleri var. Worktree oluşturma işlemi başarısız olabilir","composer.mode.worktree.tooltip":"Paralel olarak çalışmak için yerel projenin bir kopyasını oluştur","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Konuşma sırasında model değiştirmek performansı düşürür.","composer.newChat.heading.browser":"Şimdi ne kodlayalım?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex, config.toml dosyasında tanımlanan izni kullanır.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex, bilgisayarına tam erişime sahiptir (yüksek risk)","composer.permissionsDropdown.custom.label":"Özel (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Özel (config.toml)","composer.permissionsDropdown.default.label":"Varsayılan izinler","composer.permissionsDropdown.default.optionLabel":"Varsayılan izinler","composer.permissionsDropdown.default.tooltip":"Codex, komutları otomatik olarak sanal ortamda çalıştırır","composer.permissionsDropdown.disabled.requirements":"İzinler requirements.toml tarafından kilitlendi","composer.permissionsDropdown.fullAccess.disabled":"Tam erişim modu, requirements.toml tarafından devre dışı bırakıldı","composer.permissionsDropdown.fullAccess.label":"Tam erişim","composer.permissionsDropdown.fullAccess.optionLabel":"Tam erişim","composer.permissionsDropdown.trigger.tooltip":"İzinleri değiştir","composer.personalitySlashCommand.description.friendly":"Sıcakkanlı, iş birliği odaklı ve yardımsever","composer.personalitySlashCommand.description.pragmatic":"Kısa, öz, görev odaklı ve doğrudan","composer.personalitySlashCommand.label.friendly":"Arkadaşça","composer.personalitySlashCommand.label.pragmatic":"Pragmatik","composer.personalitySlashCommand.notApplicableSuffix":"(Mevcut model için geçerli değil)","composer.personalitySlashCommand.title":"Kişilik","composer.placeholder.cloudFollowUp.directFollowUp":"Bu bulut görevini takip et","composer.placeholder.cloudFollowUp.local":"Bu bulut görevini referans alan yeni bir yerel görev oluştur","composer.placeholder.cloudFollowUp.workingTree":"Mevcut kodunu içeren ve bu görevi referans alacak yeni bir bulut görevi oluştur.","composer.placeholder.localFollowUp.cloud":"Yeni bir bulut görevinde takip et","composer.placeholder.localFollowUp.locally":"Takip değişikliklerini iste","composer.placeholder.newTask.cloud":"Codex’ten bulutta herhangi bir şey yapmasını iste","composer.placeholder.newTask.doAnything":"Codex’ten herhangi bir şey yapmasını iste","composer.placeholder.newTask.locally":"Codex’e her şeyi sorabilirsin. @ ile dosya ekle, / ile komutları kullan.","composer.planModeDropdown":"Plan modu","composer.planModeDropdown.ariaLabel":"Plan modu","composer.planModeIndicator":"Plan","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Codex ile bir plan oluştur","composer.planModeIndicator.tooltipToggle":"ile değiştir","composer.planSlashCommand.disableDescription":"Plan modunu kapat","composer.planSlashCommand.enableDescription":"Plan modunu aç","composer.planSlashCommand.title":"Plan modu","composer.priorContext.label":"Önceki bağlam","composer.priorContext.removeAriaLabel":"Önceki bağlamı kaldır","composer.queuedMessage.delete":"Sıraya alınan mesajı sil","composer.queuedMessage.edit":"İletiyi düzenle","composer.queuedMessage.more":"Sıraya alınan mesaj eylemleri","composer.queuedMessage.sendNow":"Yönlendir","composer.queuedMessage.sendNowTooltip":"Çalışmayı yarıda kesmeden şimdi gönder","composer.queuedMessage.turnOff":"Sıraya almayı kapat","composer.reasoningEffort.local.reasoning.tooltip":"Akıl yürütme çabası seç","composer.remote.branchStartingPoint":"Bu görev hangi daldan başlatılsın?","composer.remote.branchesSectionHeading":"Dallar","composer.remote.currentEditsSuffix.followUp":"Bu bulut görevini referans alan yeni bir görev oluştur.","composer.remote.currentEditsSuffix.useLocal":"yerel kod değişikliklerini içerir","composer.remote.directFollowUp":"Yerel değişiklikleri kullanma","composer.remote.errorLoadingBranches":"Dal yükleme hatası","composer.remote.fromBranch":"{branch} başlangıç noktasından","composer.remote.fromCurrentBranch":"{branch} başlangıç noktasından (mevcut)","composer.remote.loadingMoreBranches":"Yükleniyor...","composer.remote.localFileStateHeading":"Yerel dosya durumu","composer.remote.localWorkingTree":"Yerel değişiklikleri kullan","composer.remote.startingPoint":"Bu görev hangi koddan başlatılsın?","composer.reviewMode.branches.error":"Dallar yüklenemiyor","composer.reviewMode.branches.retry":"Yeniden dene","composer.reviewMode.gitRoot.error":"Git kök dizini bulunamadı","composer.reviewMode.option.baseBranch.simple":"Ana dala göre incele","composer.reviewMode.option.unstaged.simple":"Commit edilmemiş değişiklikleri incele","composer.reviewMode.quickReviewError":"Kod incelemesi başlatılamadı.","composer.reviewMode.title":"Kodu gözden geçir","composer.sandboxButton.unlock.disabled.tooltip":"Tam erişim modu, requirements.toml tarafından devre dışı bırakıldı","composer.sandboxButton.windowsSandboxDialog.content":"Codex, dosya sistemini ve ağ erişimini sınırlandırmak için Windows’ta deneysel bir sanal ortam kullanır. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows sanal ortamı etkinleştirilsin mi?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Salt okunur olarak kullan","composer.searchEnvironments":"Ortamları ara","composer.skillMentionList.app":"Uygulama","composer.skillMentionList.appLogoAlt":"{name} logosu","composer.skillMentionList.loading":"Beceriler yükleniyor...","composer.skillMentionList.noResults":"Hiçbir beceri bulunamadı","composer.slashCommands.cloudEnvironment.title":"Bulut ortamı","composer.slashCommands.dialogLabel":"Slash komut menüsü","composer.slashCommands.dialogTitle":"Slash komutları","composer.slashCommands.disabledTooltip":"Slash komutlarını kullanmak için yeni bir konuşma başlat","composer.slashCommands.inputPlaceholder":"Ara","composer.slashCommands.noResults":"Komut yok","composer.slashCommands.skillsGroup":"Beceriler","composer.slashCommands.tooltip":"Slash komutlarına göz at","composer.status.close":"Kapat","composer.statusPlain.alertLabel":"Uyarı:","composer.statusPlain.alertValue":"{window} itibarıyla %{remaining} kaldı","composer.statusPlain.contextLabel":"Bağlam:","composer.statusPlain.contextTotal":"{count}000","composer.statusPlain.contextValueMetadata":"(Toplam {total} tokenden {used} token kullanıldı)","composer.statusPlain.contextValueRemaining":"%{remaining} kaldı","composer.statusPlain.heading":"Durum","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} limiti:","composer.statusPlain.rateLimitDays":"{count} gün limiti","composer.statusPlain.rateLimitFallbackLabel":"İstek limiti:","composer.statusPlain.rateLimitHours":"{count} sa. limiti","composer.statusPlain.rateLimitLabelBase":"İstek limiti","composer.statusPlain.rateLimitMinutes":"{count} dk. limiti","composer.statusPlain.rateLimitPercent":"%{remaining} kaldı","composer.statusPlain.rateLimitReset":"{time} itibarıyla sıfırlanır","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"sıfırlama zamanı mevcut değil","composer.statusPlain.rateLimitUnavailable":"Alınamıyor","composer.statusPlain.sessionCopiedAriaLabel":"Oturum kimliği kopyalandı","composer.statusPlain.sessionCopiedTooltip":"Kimlik kopyalandı","composer.statusPlain.sessionCopyAriaLabel":"Oturum kimliğini kopyala","composer.statusPlain.sessionCopyTooltip":"Kimliği kopyala","composer.statusPlain.sessionLabel":"Oturum:","composer.statusSlashCommand.description":"Mesaj dizisi kimliğini, bağlam kullanımını ve istek limitlerini göster","composer.statusSlashCommand.title":"Durum","composer.submit.blockedDialogOk":"Tamam","composer.submit.blockedDialogTitle":"İleti gönderilemiyor","composer.submit.emptyMessage":"Başlamak için bir ileti gir","composer.submit.imageInputsUnsupported":"Mesaj göndermek için görselleri kaldır veya model değiştir.","composer.submit.loadingLocalConfig":"Yükleniyor...","composer.submit.missingCloudConfig":"Bir bulut ortamı seçmen gerekiyor","composer.submit.missingCloudTurn":"Bu görev takip edilemiyor","composer.submit.noWorkspace":"Codex’i kullanmak için bir proje ekle","composer.submit.waitForImageUploads":"Görseller karşıya yükleniyor...","composer.submitButtonTooltip.send":"Gönder","composer.submitButtonTooltip.stop":"Durdur","composer.worktreeEnvironment.create":"Yerel ortam oluştur","composer.worktreeEnvironment.default":"Varsayılan ortam","composer.worktreeEnvironment.error":"Ortam yükleme hatası","composer.worktreeEnvironment.loading":"Ortamlar yükleniyor...","composer.worktreeEnvironment.title":"Yerel ortam","composer.worktreeEnvironment.tooltip":"Yerel ortam seç","composer.worktreeSetupFailed":"Worktree kurulumu başarısız oldu. Kurulum komut dosyası için .codex/environments klasörünü kontrol et.","compoundButton.secondaryAction":"İkincil eylem","copyButton.copied":"Kopyalandı","copyButton.copiedAriaLabel":"Kopyalandı","copyButton.copy":"Kopyala","copyButton.copyAriaLabel":"Kopyala","copyButton.copyCode":"Kodu kopyala","diff.actionButton.revertFile":"Dosyadaki değişiklikleri geri al","diff.actionButton.revertHunk":"Değişikliği geri al","diff.actionButton.revertSection":"Tüm değişiklikleri geri al","diff.actionButton.revertSectionLabel":"Tüm değişiklikleri geri al","diff.actionButton.stageFile":"Dosyayı staging alanına al","diff.actionButton.stageHunk":"Staging Alanına Al","diff.actionButton.stageSection":"Tümünü staging alanına al","diff.actionButton.stageSectionLabel":"Tümünü staging alanına al","diff.actionButton.unstageFile":"Dosyayı staging alanına alma","diff.actionButton.unstageHunk":"Staging Alanına Alma","diff.actionButton.unstageSection":"Hiçbirini staging alanına alma","diff.actionButton.unstageSectionLabel":"Hiçbirini staging alanına alma","diff.fileHeader.toggle":"Dosya diff’ini değiştir","electron.onboarding.login.apikey.cancel":"İptal et","electron.onboarding.login.apikey.continue":"Devam et","electron.onboarding.login.apikey.label":"OpenAI API anahtarı","electron.onboarding.login.apikey.open":"API anahtarını gir","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Oturum açmayı iptal et","electron.onboarding.login.chatgpt.continue":"ChatGPT ile devam et","electron.onboarding.login.devbox":"Uzak bir SSH’ye bağlan","electron.onboarding.login.error":"Oturum açılamadı: {rawMessage}","electron.onboarding.login.snake.start":"Snake oyna","electron.onboarding.login.sshConfig.cancel":"İptal et","electron.onboarding.login.sshConfig.continue":"Devam et","electron.onboarding.login.sshConfig.hostnameLabel":"SSH Sunucu adı","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Ajanlarla bir şeyler geliştirmenin en iyi yolu","electron.onboarding.login.title":"Codex’e hoş geldin","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Devam et","electron.onboarding.welcome.doubleLimits.description":"Codex uygulamasının yayınlanmasını kutlamak için, sana 2 Nisan’a kadar 2 kat daha fazla istek limiti veriyoruz.","electron.onboarding.welcome.freego.description":"Codex, 2 Mart’a kadar planına ücretsiz olarak dâhildir. Hadi birlikte bir şeyler geliştirmeye başlayalım.","electron.onboarding.welcome.new.title.anon":"Hoş geldin!","electron.onboarding.workspace.continue":"Devam et","electron.onboarding.workspace.empty":"Devam etmek için bir proje ekle.","electron.onboarding.workspace.listLabel":"Mevcut projeler","electron.onboarding.workspace.loading":"Projeler yükleniyor...","electron.onboarding.workspace.openFolder":"Proje ekle","electron.onboarding.workspace.selectAll":"Tümünü seç","electron.onboarding.workspace.skip":"Atla","electron.onboarding.workspace.skip.error":"Yeni proje oluşturulamadı: {message}","electron.onboarding.workspace.skip.error.unknown":"Bilinmeyen hata","electron.onboarding.workspace.skipping":"Yeni bir proje oluşturuluyor...","electron.onboarding.workspace.subtitle":"Codex, seçili klasörlerde dosyaları düzenleyebilecek ve komutlar çalıştırabilecek.","electron.onboarding.workspace.title":"Proje seç","errorPage.list.checkSettings":"IDE ayarlarını güncellemeyi dene","errorPage.list.configToml":"Geçersiz ayarlar için config.toml dosyanı kontrol et","errorPage.list.downloadExtension":"Uzantının farklı bir sürümünü indirmeyi dene","errorPage.list.runInWsl":"Uyumluluk sorunlarıyla karşılaşıyorsan WSL’de çalıştırma özelliğini devre dışı bırakmak için ayarlarını kontrol et","execApprovalRequest.menu.runAlways":"Evet, bu oturumda bir daha sorma","execApprovalRequest.menu.runAlwaysWithAmendment":"Evet, {command} ile başlayan komutlar için tekrar sorma","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Evet, bununla başlayan komutlar için tekrar sorma","execApprovalRequest.menu.runOnce":"Evet","execApprovalRequest.prompt":"Bu komutu çalıştırmak istiyor musun?","execApprovalRequest.reject":"Hayır","execFooter.exitCode":"Çıkış kodu {code}","execFooter.exitCode.unknown":"bilinmeyen","execFooter.success":"Başarılı","feedback.dialog.category.badResult":"Kötü sonuç","feedback.dialog.category.bug":"Hata","feedback.dialog.category.goodResult":"İyi sonuç","feedback.dialog.category.other":"Diğer","feedback.dialog.category.safetyCheck":"Güvenlik kontrolü","feedback.dialog.descriptionPlaceholder":"Sorunu burada açıkla","feedback.dialog.dismiss":"Kapat","feedback.dialog.includeLogsLabel":"Mevcut Codex oturum günlüklerini dâhil et","feedback.dialog.submit":"Gönder","feedback.dialog.submitError":"Geri bildirimini gönderemedik. Lütfen biraz sonra tekrar dene.","feedback.dialog.title":"Geri Bildirim","feedback.dialog.uploadedMessage.existingIssue":"mevcut çözümlenmemiş sorun","feedback.dialog.uploadedMessage.openIssue":"bir GitHub sorununu aç","feedback.dialog.uploadedMessage.withThread":"Geri bildirim yüklendi. Sorun devam ederse lütfen {openIssueLink} veya {existingIssueLink} içindeki mesaj dizini kimliğinden bahset:","feedback.dialog.uploadedTitle":"Geri bildirim yüklendi","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename} ekini kaldır","header.back":"Geri","header.recentChats":"Görevler","header.recentTasks.seeAll":"Tümünü görüntüle ({total})","home.header.getPlus":"Plus planına katıl","home.hero.letsBuild":"Bir şeyler geliştirelim","homePage.mainContent":"Ana içerik","imageAttachment.defaultName":"görsel","imageAttachment.preview.close":"Görsel ön izlemesini kapat","imageAttachment.removeAriaLabel":"{filename} ekini kaldır","implementPlanRequest.option.implement":"Evet, bu planı uygula","implementPlanRequest.prompt":"Bu plan uygulansın mı?","inbox.archived.deleteError":"Arşivlenen çalıştırma silinemedi","inbox.archived.deleteRun":"Arşivlenen çalıştırmayı sil","inbox.archived.deleteSuccess":"Arşivlenen mesaj dizisi silindi. <settingsLink>Arşivlenmiş mesaj dizilerinde</settingsLink> görüntüle.","inbox.archived.inlineLabel.auto":"Bu mesaj dizisi otomatik olarak arşivlendi. <learnMoreLink>Daha fazla bilgi al</learnMoreLink>","inbox.archived.inlineLabel.manual":"Bu mesaj dizisi arşivlendi.","inbox.archived.noMessageFound":"Mesaj bulunamadı","inbox.automations.createError":"Otomasyon oluşturulamadı","inbox.automations.deleteConfirm.cancel":"İptal et","inbox.automations.deleteConfirm.confirm":"Otomasyonu sil","inbox.automations.deleteConfirm.description":"Bu işlem otomasyonu kalıcı olarak silecek ve gelecekteki çalıştırmaları durduracak.","inbox.automations.deleteConfirm.title":"{name} silinsin mi?","inbox.automations.deleteError":"Otomasyon silinemedi","inbox.automations.editTooltip":"Otomasyonu düzenle","inbox.automations.inProgress":"Devam ediyor","inbox.automations.new":"Yeni","inbox.automations.newToolbar":"Yeni otomasyon","inbox.automations.pauseTooltip":"Otomasyonu duraklat","inbox.automations.resumeTooltip":"Otomasyonu sürdür","inbox.automations.startingNow":"Şimdi başlatılıyor","inbox.automations.startsIn":"{startTime} sonra başlayacak","inbox.automations.status.active":"Etkin","inbox.automations.status.paused":"Duraklatıldı","inbox.automations.status.runs":"{count} çalıştırma","inbox.automations.status.started":"{date} tarihinde başladı","inbox.automations.updateError":"Otomasyon güncellenemedi","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tümü","inbox.filter.ariaLabel":"Gelen kutusu öğelerini filtrele","inbox.filter.unread":"Okunmamış","inbox.list.archived":"Arşivlenenler","inbox.list.inProgress":"Devam ediyor","inbox.list.recent":"Tamamlandı","inbox.list.upNext":"Zamanlandı","inbox.mode.automations":"Otomasyonlar","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Açıklama sağlanmadı","inbox.openThread":"Mesaj dizisini aç","inbox.rightPanel.emptySubtitle":"Zamanlanmış görevler ayarlayarak işleri otomatikleştir","inbox.rightPanel.emptySubtitle.learnMore":"Zamanlanmış mesaj dizileri ayarlayarak işleri otomatikleştir. <link>Daha fazla bilgi al</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# aktif otomasyon} other {# aktif otomasyon}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Okunmamış otomasyon yok","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# okunmamış otomasyon} other {# okunmamış otomasyon}}","inbox.rightPanel.emptyTitle":"Seçili öğe yok","inbox.rightPanel.noThread":"Bu öğe için mesaj dizisi yok","inbox.rightPanel.quickStart.header":"Bir şablonla başla","inbox.untitled":"İsimsiz gelen kutusu öğesi","loadingPage.documentationLink":"belgeler","loadingPage.errorDescription":"Codex aşağıdaki hatayı vererek çöktü:","loadingPage.errorDescription.documentation":"Codex uzantısını yeniden başlatmak için “yeniden yükle” öğesine tıkla veya daha fazla yardım için {documentationLink} sayfamıza bak.","loadingPage.errorSignal":"Şunları deneyebilirsin:","loadingPage.errorTitle":"Bir hata oluştu","loadingPage.openConfigToml":"Config.toml dosyasını aç","loadingPage.reload":"Yeniden yükle","localConversation.contextCompacted":"Bağlam otomatik olarak sıkıştırıldı","localConversation.contextCompacting":"Bağlam otomatik olarak sıkıştırılıyor","localConversation.finalAssistantMessageDivider":"Son mesaj","localConversation.forkedFromConversation":"{threadTitle} mesaj dizisinden çatallandı","localConversation.merge.autoResolve.failed":"Otomatik çözümleme isteği başarısız oldu: {error}","localConversation.merge.autoResolve.sent":"Otomatik çözümleme isteği gönderildi","localConversation.merge.autoResolveMerge.missingConversation":"Aktif bir konuşma olmadan otomatik çözümleme yapılamıyor.","localConversation.merge.autoResolveMerge.request":"Birleştirme çakışmalarını otomatik olarak çözümle","localConversation.modelChanged":"{fromModel} olan model {toModel} olarak değiştirildi.","localConversation.modelChanged.warning.line1":"Konuşma sırasında model değiştirmek performansı düşürür.","localConversation.modelChanged.warning.line2":"Bağlam otomatik olarak sıkıştırılabilir.","localConversation.modelRerouted":"İsteğin {toModel} modeline yönlendirildi.","localConversation.modelRerouted.warning.line1":"Siber taciz riskini azaltmak amacıyla isteğinin yeniden yönlendirildiğinin bilgisini vermek istedik.","localConversation.modelRerouted.warning.line2":"Bunun bir hata olduğunu mu düşünüyorsun? <link>chatgpt.com/cyber adresinde inceleme talebinde bulunabilirsin.</link> Alternatif olarak /feedback aracılığıyla bildirebilirsin.","localConversation.moveThread.createBranch.label":"Dal oluştur","localConversation.moveToLocal.disabled.branchCheckedOut":"Bu dal zaten başka bir worktree üzerinde checkout edildi","localConversation.moveToLocal.disabled.loading":"Yükleniyor...","localConversation.moveToLocal.disabled.missingSourceHead":"Worktree HEAD commit’i çözümlenemiyor","localConversation.moveToLocal.disabled.noWorkspace":"Bu worktree için yerel çalışma alanı bulunamadı","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"Şu anda taşınamıyor. Yerel çalışma alanı durumunu kontrol et ve tekrar dene.","localConversation.moveToLocal.error.rollbackIssues":"Geriye dönme sorunları: {issues}","localConversation.moveToLocal.label":"Yerele taşı","localConversation.moveToLocal.loading.subtitle":"Worktree değişikliklerin yerele taşınıyor...","localConversation.moveToLocal.loading.title":"Yerele taşınıyor","localConversation.moveToLocal.modal.continue":"Devam et","localConversation.moveToLocal.modal.destinationLabel":"Şuraya taşı:","localConversation.moveToLocal.modal.retry":"Yeniden dene","localConversation.moveToLocal.modal.subtitle":"Bu worktree ve commit edilmemiş değişiklikler yerel checkout’una geri taşınacak.","localConversation.moveToLocal.modal.title":"Yerele taşı","localConversation.moveToWorktree.error.branchRequired":"Worktree dal adı gerekli","localConversation.moveToWorktree.error.createWorktree":"Worktree oluşturulamadı: {message}","localConversation.moveToWorktree.error.move":"Worktree taşınamadı: {message}","localConversation.moveToWorktree.error.prepareBranch":"Worktree dalı hazırlanamadı “{branch}”: {message}","localConversation.moveToWorktree.error.rollbackIssues":"Geriye dönme sorunları: {issues}","localConversation.moveToWorktree.error.unknown":"Worktree taşınamadı. Lütfen tekrar dene.","localConversation.moveToWorktree.label":"Worktree’ye taşı","localConversation.moveToWorktree.loading.subtitle":"Worktree ayarların yapılıyor ve yerel değişiklikler taşınıyor...","localConversation.moveToWorktree.loading.title":"Worktree’ye taşınıyor","localConversation.moveToWorktree.modal.back":"Geri","localConversation.moveToWorktree.modal.branchAlreadyExists":"Dal zaten var","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Dal zaten var.","localConversation.moveToWorktree.modal.branchesError":"Dallar yüklenemiyor","localConversation.moveToWorktree.modal.branchesLoading":"Dallar yükleniyor...","localConversation.moveToWorktree.modal.branchesRetry":"Yeniden dene","localConversation.moveToWorktree.modal.continue":"Devam et","localConversation.moveToWorktree.modal.defaultBranchError":"Worktree dalı varsayılan daldan farklı olmalı.","localConversation.moveToWorktree.modal.localBranchLabel":"Yerel dal","localConversation.moveToWorktree.modal.localBranchPlaceholder":"Yerel checkout dalı seç","localConversation.moveToWorktree.modal.noTargetBranch":"Başka yerel dal yok","localConversation.moveToWorktree.modal.retry":"Yeniden dene","localConversation.moveToWorktree.modal.subtitle":"Bu dal ve commit edilmemiş tüm değişiklikler bir worktree’ye taşınacak. Bunun yerine yerel olarak farklı bir dalı checkout etmen gerekir.","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex bu mesaj dizisi için yeni bir worktree oluşturacak.","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"Bir worktree dal adı seç. Codex, varsayılan dal yerine bunu kullanacak.","localConversation.moveToWorktree.modal.subtitle.loading":"Mevcut worktree aranıyor...","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"Bu dal bir worktree’ye taşınacak. Mevcut yerel dalın checkout edilmiş olarak kalacak.","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex bu mesaj dizisi için mevcut worktree’yi yeniden kullanacak.","localConversation.moveToWorktree.modal.title":"Worktree’ye taşı","localConversation.moveToWorktree.modal.trailingSlashError":"Dal adı “/” ile bitemez.","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"Worktree dal adı","localConversation.moveToWorktree.modal.worktreeBranchLabel":"Worktree dalı","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"yeni-dal","localConversation.personalityChanged":"{personality} kişiliğine geçildi","localConversation.planSummary.collapse":"Plan özetini daralt","localConversation.planSummary.collapseTooltip":"Daralt","localConversation.planSummary.download":"Planı indir","localConversation.planSummary.expand":"Plan özetini genişlet","localConversation.planSummary.expandTooltip":"Genişlet","localConversation.planSummary.openInNewWindow":"Aç","localConversation.planSummary.openInNewWindow.tooltip":"Yeni pencerede aç","localConversation.planSummary.title":"Plan","localConversation.planSummary.titleWriting":"Plan yazılıyor","localConversation.planSummary.viewPlan":"Planı genişlet","localConversation.previousMessagesSummary":"{count, plural, one {önceki # mesaj} other {önceki # mesaj}}","localConversation.remoteTaskCreated":"Codex Cloud’da {taskLink} oluşturuldu","localConversation.remoteTaskCreated.task":"görev","localConversation.scrollToBottomButton":"En aşağı kaydır","localConversation.sync.buttonLabel":"Yerele devret","localConversation.sync.buttonLabel.tooltip":"Bu worktree ile yerel checkout’un arasındaki değişiklikleri devret.","localConversation.sync.modal.loading.title":"Değişiklikleri devret...","localConversation.sync.modal.noChanges":"Değişiklik yok","localConversation.syncSetup.branchAriaLabel":"Dal adı","localConversation.syncSetup.branchName":"Dal adı","localConversation.syncSetup.branchPlaceholder.existing":"Mevcut dalı seç","localConversation.syncSetup.branchPlaceholder.new":"codex/yeni-özellik","localConversation.syncSetup.branchesLoading":"Dallar yükleniyor...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Zaten checkout edildi","localConversation.syncSetup.checkoutClean":"Mevcut dal: {branchName}","localConversation.syncSetup.checkoutDirty":"Şu anda {branchName} üzerinde commit edilmemiş değişiklikler var","localConversation.syncSetup.checkoutError":"Dal checkout edilemedi: {message}","localConversation.syncSetup.checkoutLabel":"Şimdi yerel olarak checkout et","localConversation.syncSetup.checkoutOnLocal":"Yerele devret","localConversation.syncSetup.checkoutPending":"Yerel durum kontrol ediliyor...","localConversation.syncSetup.checkoutUnavailable":"Yerel çalışma alanı mevcut değil","localConversation.syncSetup.checkoutUnknown":"Yerel dal mevcut değil","localConversation.syncSetup.continue":"Devam et","localConversation.syncSetup.createBranchError":"Devretme dalı ayarlanamadı: {message}","localConversation.syncSetup.error":"Bir hata meydana geldi: {message}","localConversation.syncSetup.error.workingTreeMissing":"Worktree’nin anlık görüntüsü alınamıyor. Lütfen devretmeyi tekrar dene.","localConversation.syncSetup.mode.ariaLabel":"Dal modunu seç","localConversation.syncSetup.mode.existing":"Mevcut dal","localConversation.syncSetup.mode.new":"Yeni dal","localConversation.syncSetup.noBranches":"Dal bulunamadı","localConversation.syncSetup.overwriteError":"Dal oluşturuldu ancak henüz tam olarak devredilmedi. Yerel olarak checkout etmeden önce manuel olarak devret.","localConversation.syncSetup.setPrefix":"Ön ek ayarla","localConversation.syncSetup.subtitle":"Worktree’deki değişiklikleri yerel olarak test et ve düzenle. <a>Daha fazla bilgi al</a>","localConversation.syncSetup.success.checkedOut":"Dal oluşturuldu ve yerel olarak checkout edildi","localConversation.syncSetup.success.notCheckedOut":"Dal oluşturuldu","localConversation.syncSetup.title":"Yerel bir dala devret","localConversation.syncWorktreeError.branchAriaLabel":"Dal adı","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/yeni-özellik","localConversation.syncWorktreeError.branchSetup.subtitle":"Devredilecek dalı seç, ardından değişiklikleri yüklemeyi yeniden dene.","localConversation.syncWorktreeError.branchSetup.title":"Dalı güncelle","localConversation.syncWorktreeError.branchUpdate.cta":"Güncelle ve yeniden dene","localConversation.syncWorktreeError.branchUpdate.error":"Dal güncellenemedi: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Bir hata meydana geldi: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Dal hiçbir worktree’de checkout edilmedi.","localConversation.syncWorktreeV2.applyUncommitted":"Uygula","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Commit edilmemiş değişiklikleri uygulamak için dalı yerel olarak checkout etmelisin","localConversation.syncWorktreeV2.branches.empty":"Dal bulunamadı","localConversation.syncWorktreeV2.branches.loading":"Dallar yükleniyor...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Devir dalını değiştir","localConversation.syncWorktreeV2.changeBranch.error":"Devir dalı ayarlanamadı: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Uygulanamadı","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Worktree üzerine yazma başarısız","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Yerel olarak üzerine yazma başarısız","localConversation.syncWorktreeV2.commandError.back":"Geri","localConversation.syncWorktreeV2.commandError.body":"Git komutu devir sırasında başarısız oldu. Çıktıyı incele ve tekrar dene.","localConversation.syncWorktreeV2.commandError.retry":"Yeniden dene","localConversation.syncWorktreeV2.description":"Yerel ve bu worktree arasında değişiklikleri devret <a>Daha fazla bilgi al</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Devir yönünü seç","localConversation.syncWorktreeV2.error.generic":"Devredilirken bir hata oluştu. Tekrar dene.","localConversation.syncWorktreeV2.localBranchLabel":"Yerel","localConversation.syncWorktreeV2.noChanges":"Değişiklikler hesaplanıyor","localConversation.syncWorktreeV2.noChanges.summary":"Değişiklik yok","localConversation.syncWorktreeV2.overwrite.local":"Yerel olarak üzerine yaz","localConversation.syncWorktreeV2.overwrite.worktree":"Worktree üzerine yaz","localConversation.syncWorktreeV2.partial.action.applyFailed":"Değişiklikler uygulanamadı","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Yerel değişikliklerin üzerine yazılamadı","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Worktree değişikliklerinin üzerine yazılamadı","localConversation.syncWorktreeV2.partial.appliedLabel":"Uygulandı","localConversation.syncWorktreeV2.partial.back":"Geri","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Çatışmaları çöz ve tekrar dene.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Çakışmalar","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# dosya} other {# dosya}}","localConversation.syncWorktreeV2.partial.retry":"Yeniden dene","localConversation.syncWorktreeV2.partial.skippedLabel":"Atlandı","localConversation.syncWorktreeV2.stateFailed.generic":"Devredilecek worktree değişiklikleri getirilirken bir hata oluştu. Lütfen tekrar dene.","localConversation.syncWorktreeV2.stateFailed.title":"Worktree değişiklikleri yüklenemedi","localConversation.syncWorktreeV2.statusError.diffUnknown":"Worktree değişiklikleri yüklenemedi.","localConversation.syncWorktreeV2.statusError.retry":"Yeniden dene","localConversation.syncWorktreeV2.statusError.title":"Yerel dal değişiklikleri yüklenemiyor","localConversation.syncWorktreeV2.statusError.unknown":"Dal durumu şu anda kullanılamıyor. Tekrar dene.","localConversation.syncWorktreeV2.success.apply":"Değişiklikler başarıyla uygulandı","localConversation.syncWorktreeV2.success.overwrite":"Devir başarılı","localConversation.syncWorktreeV2.title":"Değişiklikleri devret","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"{count, plural, one {Soru} other {Sorular}} soruluyor","localConversation.userInputRequest.noAnswer":"Cevap gönderilmedi","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Soruldu","localConversation.userInputRequest.summary.count":"{count, plural, one {# soru} other {# soru}}","localConversation.workedFor":"{time} boyunca çalıştı","localConversation.worktreeBranchSetup.action.create":"Oluştur","localConversation.worktreeBranchSetup.branchAriaLabel":"Dal adı","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Yeni bir dal oluştur","localConversation.worktreeBranchSetup.checkoutDisabled":"Bu dal zaten {location} üzerinde checkout edildi","localConversation.worktreeBranchSetup.checkoutError":"Dal checkout edilemedi: {message}","localConversation.worktreeBranchSetup.createBranchError":"Dal ayarlanamadı: {message}","localConversation.worktreeBranchSetup.error":"Bir hata meydana geldi: {message}","localConversation.worktreeBranchSetup.subtitle":"Bu worktree’den değişiklikleri commit etmek, göndermek ve PR oluşturmak için bir dal oluştur. <a>Daha fazla bilgi al</a>","localConversation.worktreeBranchSetup.title":"Burada çalış","localConversationPage.addWorktreeToSidebar.tooltip":"Bu worktree’den yeni mesaj dizileri başlatabilmek için proje olarak kaydet","localConversationPage.addWorktreeToSidebarError":"Proje eklenemedi","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit etme ve PR oluşturma başarısız","localConversationPage.commitAndCreatePrModal.successTitle":"Commit edildi ve PR oluşturuldu","localConversationPage.commitAndPushModal.errorTitle":"Commit etme ve gönderme başarısız","localConversationPage.commitAndPushModal.successTitle":"Değişiklikler commit edildi ve gönderildi","localConversationPage.commitCreatePr.open":"Çekme isteğini aç","localConversationPage.commitCreatePr.successTitle":"Son değişiklikler,nle PR oluşturuldu","localConversationPage.createBranchButtonLabel":"Burada dal oluştur","localConversationPage.createPrModal.baseBranch":"Temel","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR oluştur","localConversationPage.createPrModal.createDescription":"Son değişikliklerin için bir çekme isteği aç.","localConversationPage.createPrModal.errorTitle":"Çekme isteği başarısız","localConversationPage.createPrModal.headBranch":"Ana dal","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"PR’yi aç","localConversationPage.createPrModal.successTitle":"Çekme isteği oluşturuldu","localConversationPage.createPrModal.title":"Çekme isteği oluştur","localConversationPage.createPrModal.viewDescription":"Bu dal için zaten bir çekme isteği var.","localConversationPage.createPrModal.viewTitle":"Çekme isteği hazır","localConversationPage.createPullRequestAuthGh":"GitHub CLI’yi yetkilendir: `gh auth login`komutunu çalıştır","localConversationPage.createPullRequestBranchMissing":"Dal bilgisi mevcut değil","localConversationPage.createPullRequestButtonLabel":"PR oluştur","localConversationPage.createPullRequestButtonLabel.loading":"PR oluşturuluyor…","localConversationPage.createPullRequestDefaultBranchMissing":"Varsayılan dal bilgisi mevcut değil","localConversationPage.createPullRequestError":"Çekme isteği oluşturulamadı","localConversationPage.createPullRequestExistingPullRequest":"Bu dal için zaten bir çekme isteği var","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI durumu yükleniyor...","localConversationPage.createPullRequestInstallGh":"PR’ler oluşturmak için GitHub CLI’yi (gh) yükle","localConversationPage.createPullRequestNoRepo":"Git deposu bulunamadı","localConversationPage.createPullRequestPushStatusMissing":"Gönderme durumu yükleniyor...","localConversationPage.createPullRequestSetUpstream":"PR oluşturmadan önce bu dalı gönder","localConversationPage.createPullRequestSuccessToast":"Çekme isteği oluşturuldu","localConversationPage.createPullRequestSwitchBranch":"PR oluşturmadan önce bir özellik dalını kontrol et","localConversationPage.error.render":"Yerel konuşma işleme hatası","localConversationPage.error.toast":"Konuşma bulunamadı","localConversationPage.forcePushError":"Zorla gönderme başarısız oldu","localConversationPage.generatePullRequestMessageError":"Çekme isteği başlığı ve gövde metni oluşturulamadı","localConversationPage.generatePullRequestMessageFailed":"Çekme isteği başlığı ve gövde metni oluşturulamadı.","localConversationPage.gitActionResult.branch":"Dal","localConversationPage.gitActionResult.cancel":"İptal et","localConversationPage.gitActionResult.close":"Kapat","localConversationPage.gitActionResult.tryAgain":"Tekrar dene","localConversationPage.gitActions":"Git eylemleri","localConversationPage.newChat":"Yeni sohbet","localConversationPage.openInTarget":"Açılacağı yer:","localConversationPage.openPrimaryTarget":"Aç","localConversationPage.planItemsCompleted":"{completedItems} / {totalItems, plural, one {# görev tamamlandı} other {# görev tamamlandı}}","localConversationPage.pushAuthError":"Gönderilemedi: kimlik doğrulama gerekli","localConversationPage.pushBranchMissing":"Dal bilgisi mevcut değil","localConversationPage.pushButtonLabel":"Anlık ileti","localConversationPage.pushButtonLabel.loading":"Gönderiliyor…","localConversationPage.pushError":"Gönderim değişiklikleri kaydedilemedi","localConversationPage.pushModal.branchLabel":"Dal","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"İptal et","localConversationPage.pushModal.confirm":"Gönder","localConversationPage.pushModal.description":"Son commit’lerini uzaktaki depoya gönder.","localConversationPage.pushModal.errorTitle":"Gönderme başarısız","localConversationPage.pushModal.forcePush":"Zorla gönder","localConversationPage.pushModal.successTitle":"Gönderme tamamlandı","localConversationPage.pushModal.title":"Gönderme değişiklikleri","localConversationPage.pushModal.tryAgain":"Tekrar dene","localConversationPage.pushNoUpstream":"Bu dalı göndermeden önce bir yukarı akış kur","localConversationPage.pushNoUpstreamError":"Gönderilemedi: yapılandırılmış yukarı akış yok","localConversationPage.pushNothingToPush":"Gönderilecek yeni commit yok","localConversationPage.pushRemoteChangedError":"Gönderilemedi: uzak depoda yeni commit’ler var","localConversationPage.pushRemoteRejectedError":"Gönderim uzak depo tarafından reddedildi","localConversationPage.pushStatusMissing":"Gönderme durumu yükleniyor...","localConversationPage.pushSuccessToast":"Gönderilen değişiklikler","localConversationPage.viewPullRequestButtonLabel":"PR’yi görüntüle","localConversationPage.viewPullRequestButtonLabel.loading":"Çekme isteği yükleniyor…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# dosya} other {# dosya}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# liste} other {# liste}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# arama} other {# arama}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Araştırılıyor","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Araştırıldı","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} araştırıldı","localConversationTurnStory.showContent":"İçeriği göster","localConversationTurnStory.streamContent":"İçeriği izle","localConversationTurnStory.toggleReasoning":"Akıl yürütmeyi göster","localTaskRow.archiveError":"Konuşma arşivlenemedi","localTaskRow.resumeError":"Görev sürdürülemedi","mermaidDiagram.ariaLabel":"Mermaid diyagramı","mermaidDiagram.copySource":"Mermaid’i kopyala","mermaidDiagram.originalCode":"Mermaid kaynak kodu","notifications.permissions.description":"Bildirim izinleri gerektiğinde uyarıları göster","notifications.permissions.label":"İzin bildirimlerini etkinleştir","notifications.turnMode.always":"Her zaman","notifications.turnMode.description":"Codex’in işlemin bittiğini sana bildireceği zamanı ayarla","notifications.turnMode.label":"Tur tamamlama bildirimlerini etkinleştir","notifications.turnMode.off":"Asla","notifications.turnMode.unfocused":"Yalnızca odaklanmadığında","patchApprovalRequest.approve":"Onayla","patchApprovalRequest.menu.allowAlways":"Evet, bu oturumda bir daha sorma","patchApprovalRequest.menu.allowForSession":"Evet, bu oturumda bir daha sorma","patchApprovalRequest.menu.allowOnce":"Evet","patchApprovalRequest.prompt":"Bu değişiklikleri yapmak istiyor musun?","patchApprovalRequest.reject":"Hayır","patchApprovalRequest.waitingForApproval":"Dosyaları düzenlemek için onay bekleniyor","pendingRequest.approvalExec.collapse":"Daralt","pendingRequest.approvalExec.expand":"Genişlet","pendingRequestStory.toastAnswer":"Cevap: {answer}","pendingRequestStory.toastApprovalTitle":"Onay yanıtı","pendingRequestStory.toastFollowupPrompt":"İstem: {prompt}","pendingRequestStory.toastFollowupTitle":"Takip gönderildi","pendingRequestStory.toastNoAnswers":"Herhangi bir cevap gönderilmedi","pendingRequestStory.toastQuestion":"Soru: {question}","pendingRequestStory.toastUnknownDecision":"Bilinmeyen","pendingRequestStory.toastUserInputTitle":"Gönderilen cevaplar","quickAction.request.codeReview.branches.new":"Lütfen {to} ile karşılaştırarak {from} kapsamındaki değişiklikleri incele","quickAction.request.codeReview.uncommitted.new":"Lütfen commit edilmemiş değişikliklerimi incele","reasoningItem.thinking":"Düşünüyor","reasoningItem.thought":"Düşündüm","reasoningItem.thoughtWithElapsed":"{elapsed} konusunu düşündüm","recentConversations.title":"En Son Konuşmalar","recentTasks.worktreeInitFailedTitle":"Worktree init başarısız","recentTasks.worktreeSettingUpTitle":"Worktree ayarlanıyor","requestInputPanel.continue":"Devam et","requestInputPanel.dismiss":"Kapat","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Buraya yaz","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Hayır, Codex’e neyi farklı yapacağını söyle","requestInputPanel.selectedBadge":"Seçili","requestInputPanel.skip":"Atla","requestInputPanel.submit":"Gönder","review.commit.ariaLabel.includeUnstaged":"Staging alanına alınmamış olanları ekle","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Commit ediliyor...","review.commit.disabled.loadingDiff":"Diff yükleniyor…","review.commit.disabled.missingContext":"Bir commit mesajı oluşturmak için biraz bağlam ekle","review.commit.disabled.noChanges":"Commit edilecek değişiklik yok","review.commit.disabled.noSelection":"Commit edilecek değişiklikleri seç","review.commit.disabled.unavailable":"Commit şu anda kullanılamıyor","review.commit.error":"Değişiklikler commit edilemedi","review.commit.form.changesToBeCommitted":"Değişiklikler","review.commit.form.commitTo":"Dal","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Devam et","review.commit.form.title":"Değişikliklerini commit et","review.commit.generate.emptyResponse":"Bir commit mesajı oluşturulamadı.","review.commit.generate.failed":"Commiy mesajı oluşturulamadı: {error}","review.commit.generate.missingPrompt":"Bir commit mesajı oluşturmak için biraz bağlam ekle.","review.commit.includeUnstaged":"Staging alanına alınmamış olanları ekle","review.commit.loading.description":"Biraz bekle, bu işlem birkaç dakika sürebilir","review.commit.loading.step.commit.done":"Commit edilmiş değişiklikler","review.commit.loading.step.commit.pending":"Değişiklikler commit ediliyor","review.commit.loading.step.createPr.done":"Bir çekme isteği oluşturuldu","review.commit.loading.step.createPr.pending":"Bir çekme isteği oluşturuluyor","review.commit.loading.step.push.done":"{branch} dalına gönderildi","review.commit.loading.step.push.pending":"{branch} dalına gönderiliyor","review.commit.loading.title.commit":"Değişiklikler commit ediliyor","review.commit.loading.title.createPr":"PR oluşturuluyor","review.commit.loading.title.push":"Değişiklikler gönderiliyor","review.commit.messageLabel":"Commit mesajı","review.commit.messagePlaceholder":"Commit mesajının otomatik olarak oluşturulması için boş bırak","review.commit.nextSteps":"Sonraki adımlar","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit et ve PR oluştur","review.commit.nextSteps.commitAndPush":"Commit et ve gönder","review.commit.nextSteps.prRequiresGh":"GitHub CLI gerektirir: {command}","review.commit.rows.changes":"Değişiklikler","review.commit.rows.commitCount":"{count, plural, one {# commit} other {# commit}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# commit} other {# commit}} ve {stats}","review.commit.rows.fileCount":"{count, plural, one {# dosya} other {# dosya}}","review.commit.state.error.body":"Commit edilirken bir hata meydana geldi. Git durumunu kontrol et ve tekrar dene.","review.commit.state.error.title":"Commit başarısız","review.commit.state.success.title":"Değişiklikler commit edildi","review.commit.untracked.loadingStats":"İzlenmeyen diff istatistikleri yükleniyor…","reviewFindingAttachments.count":"{count, plural, one {# bulgu} other {# bulgu}}","settings.agent.configuration.configToml":"config.toml dosyanda tanımlanan","settings.agent.configuration.configToml.description":"Ajan davranışını özelleştirmek için yapılandırmanı düzenle","settings.agent.configuration.configToml.docs":"Belgeler","settings.agent.configuration.configToml.restartNote":"Düzenledikten sonra değişiklikleri uygulamak için Codex’i yeniden başlat","settings.agent.configuration.subtitle":"Bu ayarlar Codex’in kullanıldığı her yerde geçerlidir","settings.automations.banner.danger":"Otomasyonlar, şu anda Tam Erişim olarak ayarlanmış olan varsayılan sanal ortam ayarlarınla çalışır. Arka plan otomasyonlarını Tam Erişim ile çalıştırmak, Codex’in izinsiz olarak dosyaları değiştirmesine, komutları çalıştırmasına ve ağa erişmesine neden olabileceği için yüksek risk taşır. Sanal ortam ayarlarını çalışma alanı yazma olarak güncellemeyi ve <rulesDocsLink>kuralları</rulesDocsLink> kullanarak ajanın tam erişimle çalıştırabileceği komutları ayrı ayrı tanımlamayı düşünebilirsin.","settings.automations.banner.defaultHowTo.default":"Otomasyonlar varsayılan sanal ortam ayarlarınla çalışır. Çalışma alanı dışındaki dosyaları değiştirmeyi, ağa erişmeyi veya bilgisayarındaki uygulamalarla çalışmayı gerektiren araç çağrıları başarısız olur. <rulesDocsLink>Kuralları</rulesDocsLink> kullanarak sanal ortam dışında çalışacak komutların izin listesini belirleyebilirsin.","settings.automations.banner.defaultHowTo.readOnly":"Otomasyonlar, salt okunur olarak ayarlanan varsayılan sanal ortam ayarlarınla çalışır. Dosyaları değiştirme, ağa erişme veya bilgisayarındaki uygulamalarla çalışma gerektiren araç çağrıları başarısız olur. Sanal ortam ayarlarını çalışma alanı yazma olarak güncellemeyi düşünebilirsin.","settings.automations.cancel":"İptal et","settings.automations.create":"Oluştur","settings.automations.cwdEmpty":"Proje klasörleri mevcut değil","settings.automations.cwdLabel":"Projeler","settings.automations.cwdPlaceholder":"Bir klasör seç","settings.automations.cwdSubtitle":"Bir otomasyonun belirli bir dalda çalışmasını istiyorsan bunu isteminde belirtebilirsin.","settings.automations.delete":"Sil","settings.automations.dialog.editTitle":"Otomasyonu düzenle","settings.automations.dialog.newTitle":"Yeni otomasyon","settings.automations.dialog.subtitle":"Arka planda tekrarlanan görevleri otomatikleştir. Codex, bulguları gelen kutusuna ekler veya rapor edilecek bir şey yoksa görevi otomatik olarak arşivler. <learnMoreLink>Daha fazla bilgi al</learnMoreLink>","settings.automations.dialog.title":"Otomasyon oluştur","settings.automations.executionCopy.git":"Git projeleri, özel arka plan worktree’lerinde çalışır.","settings.automations.executionCopy.local":"Otomasyonlar doğrudan, seçilen proje dizinlerinde çalışır.","settings.automations.executionCopy.nonGit":"Sürüm kontrolü yapılmayan projeler, worktree’ler Git gerektirdiği için yerel olarak çalışır.","settings.automations.executionEnvironment.ariaLabel":"Yürütme ortamı","settings.automations.executionEnvironment.label":"Yürütme ortamı","settings.automations.executionEnvironment.local":"Yerel","settings.automations.executionEnvironment.local.help":"Seçilen proje dizininde, worktree oluşturmadan doğrudan çalışır.","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.executionEnvironment.worktree.help":"Seçilen projeden oluşturulan özel bir Git worktree’sinde çalışır ve mevcut checkout’unu değiştirmez.","settings.automations.loading":"Yükleniyor...","settings.automations.nameLabel":"Ad","settings.automations.namePlaceholder":"Sentry sorunlarını kontrol et","settings.automations.pause":"Duraklat","settings.automations.promptLabel":"İstem","settings.automations.promptPlaceholder":"$Sentry’te çökmeleri ara","settings.automations.resume":"Sürdür","settings.automations.rruleSummaryFallback":"Özel zamanlama","settings.automations.runNow":"Test Et","settings.automations.save":"Kaydet","settings.automations.scheduleBadge.dayCount":"{count} gün","settings.automations.scheduleBadge.interval":"{count} sa.","settings.automations.scheduleBadge.weekdays":"Hafta içi günler","settings.automations.scheduleBadge.weekends":"Hafta sonları","settings.automations.scheduleHeader":"Zamanla","settings.automations.scheduleHours":"saat","settings.automations.scheduleLabel":"Çalıştırma sıklığı: her","settings.automations.scheduleMode.daily":"Günlük","settings.automations.scheduleMode.interval":"Zaman aralığı","settings.automations.scheduleModeLabel":"Planlama türü","settings.automations.scheduleSummary.daily":"Günlük olarak saat {time}","settings.automations.scheduleSummary.interval":"Her {count} saatte","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# gün} other {# gün}}","settings.automations.scheduleSummary.intervalDays":"{interval} {days} günü","settings.automations.scheduleSummary.intervalHourly":"Saatlik","settings.automations.scheduleSummary.singleDay":"{day} saat {time}","settings.automations.scheduleSummary.weekdays":"Hafta içi saat {time}","settings.automations.scheduleSummary.weekdaysLabel":"hafta içi günler","settings.automations.scheduleSummary.weekends":"Hafta sonları saat {time}","settings.automations.scheduleSummary.weekendsLabel":"hafta sonları","settings.automations.scheduleSummary.weekly":"{days} saat {time}","settings.automations.scheduleWeekdays":"Açık","settings.automations.weekdayState.excluded":"Hariç","settings.automations.weekdayState.included":"Dâhil","settings.conversationDetail.steps":"Adımlar","settings.conversationDetail.steps.description":"Komutları ve çıktıları gizle","settings.conversationDetail.stepsWithCommands":"Kod komutları içeren adımlar","settings.conversationDetail.stepsWithCommands.description":"Komutları göster, çıktıyı daralt","settings.conversationDetail.stepsWithOutput":"Kod çıktılı adımlar","settings.conversationDetail.stepsWithOutput.description":"Komutları göster ve çıktıyı genişlet","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Arşivlenmiş sohbet yok.","settings.dataControls.archivedChats.error":"Arşivlenmiş sohbetler yüklenemedi.","settings.dataControls.archivedChats.loading":"Arşivlenmiş sohbetler yükleniyor…","settings.dataControls.archivedChats.unarchive":"Arşivden çıkar","settings.dataControls.archivedChats.unarchiveError":"Sohbet arşivden çıkarılamadı","settings.dataControls.archivedChats.unarchiveSuccess":"Arşivlenmiş mesaj dizisi. <viewNowLink>Şimdi görüntüle</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Arşivden çıkarılmış mesaj dizisi.","settings.dataControls.archivedChats.untitled":"İsimsiz sohbet","settings.dataControls.archivedChats.viewNow":"Şimdi görüntüle","settings.editRow.headerPlaceholder":"Anahtar","settings.editRow.removeEntry":"Girdiyi kaldır","settings.editRow.valuePlaceholder":"Değer","settings.general.appearance":"Görünüm","settings.general.appearance.codeFont":"Kod yazı tipi","settings.general.appearance.codeFont.description":"Sohbetler ve diff’ler genelinde kullanılan yazı tipini ve boyutunu ayarla","settings.general.appearance.codeFontFamily":"Kod yazı tipi ailesi","settings.general.appearance.codeFontSize":"Kod yazı tipi boyutu","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Pencereler, sistem yarı saydamlığı yerine düz arka plan kullansın","settings.general.appearance.opaqueWindows.label":"Opak pencere arka planı kullan","settings.general.appearance.sansFontFamily":"Çıkıntısız yazı tipi ailesi","settings.general.appearance.sansFontFamily.description":"Codex arayüzü için kullanılan yazı tipini ayarla","settings.general.appearance.sansFontSize":"Tırnaksız yazı tipi boyutu","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"GPT-5.3-Codex-Spark ilk kez çalıştırılırken tam pencere kutlama efektlerini göster","settings.general.appearance.sparkCelebrationEffects.label":"Spark kutlama efektleri","settings.general.appearance.theme":"Tema","settings.general.appearance.theme.dark":"Karanlık","settings.general.appearance.theme.description":"Aydınlık veya karanlık modu kullan ya da sisteminin temasıyla eşleştir","settings.general.appearance.theme.light":"Aydınlık","settings.general.appearance.theme.system":"Sistem","settings.general.appearance.usePointerCursors.description":"Etkileşimli öğelerin üzerine geldiğinde imleci işaretçiye dönüştür","settings.general.appearance.usePointerCursors.label":"İşaretçi imleçleri kullan","settings.general.enterBehavior.description":"Etkinleştirildiğinde çok satırlı istemleri göndermek için {modifierSymbol} + enter gerekir.","settings.general.enterBehavior.label":"Uzun istemleri göndermek için {modifierSymbol} + enter’ı zorunlu kıl","settings.general.experimentalFeatures":"Deneysel özellikler (Beta)","settings.general.experimentalFeatures.empty":"Deneysel beta özellikler yok.","settings.general.experimentalFeatures.loading":"Deneysel özellikler yükleniyor...","settings.general.experimentalFeatures.restartNote":"Deneysel özellik değişikliklerini uygulamak için Codex’i yeniden başlat","settings.general.experimentalFeatures.toggle":"{featureName} becerisini aç/kapat","settings.general.followUpQueueMode.description":"Codex çalıştırılırken takipleri sıraya al veya mevcut çalıştırmayı yönlendir. Bir mesaj için tersini yapmak istersen {invertFollowUpShortcutLabel} öğesine bas.","settings.general.followUpQueueMode.interrupt":"Yönlendir","settings.general.followUpQueueMode.label":"Takip davranışı","settings.general.followUpQueueMode.queue":"Sıraya al","settings.general.notifications":"Bildirimler","settings.general.power.preventSleepWhileRunning.description":"Codex bir mesaj dizisi çalıştırırken bilgisayarının uyku moduna geçmesini engelle.","settings.general.power.preventSleepWhileRunning.label":"Çalışırken uyku moduna geçmeyi engelle","settings.git.branchPrefix.ariaLabel":"Dal ön eki","settings.git.branchPrefix.description":"Codex’te yeni dallar oluştururken kullanılan ön ek","settings.git.branchPrefix.label":"Dal ön eki","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Dal ön eki kaydedilemedi","settings.git.branchPrefix.save.success":"Dal ön eki kaydedildi","settings.git.commitInstructions.ariaLabel":"Commit talimatları","settings.git.commitInstructions.description":"Commit mesajı oluşturma istemlerine eklendi","settings.git.commitInstructions.label":"Commit talimatları","settings.git.commitInstructions.placeholder":"Commit mesajı yönlendirmesi ekle…","settings.git.commitInstructions.save":"Kaydet","settings.git.commitInstructions.save.error":"Commit talimatları kaydedilemedi","settings.git.commitInstructions.save.success":"Commit talimatları kaydedildi","settings.git.forcePush.ariaLabel":"Her zaman zorla gönder","settings.git.forcePush.description":"Codex’ten gönderirken ---force-with-lease kullan","settings.git.forcePush.label":"Her zaman zorla gönder","settings.git.forcePush.save.disabled":"Her zaman zorla gönderme devre dışı bırakıldı","settings.git.forcePush.save.enabled":"Her zaman zorla gönderme etkinleştirildi","settings.git.forcePush.save.error":"Zorla gönderme ayarı kaydedilemedi","settings.git.prInstructions.ariaLabel":"Çekme isteği talimatları","settings.git.prInstructions.description":"Codex tarafından oluşturulan çekme isteği gövde metinlerine iliştirildi","settings.git.prInstructions.label":"Çekme isteği talimatları","settings.git.prInstructions.placeholder":"Çekme isteği yönlendirmesi ekle…","settings.git.prInstructions.save":"Kaydet","settings.git.prInstructions.save.error":"Çekme isteği talimatları kaydedilemedi","settings.git.prInstructions.save.success":"Çekme isteği talimatları kaydedildi","settings.ide.defaultOpenTarget.description":"Varsayılan olarak dosyaların ve klasörlerin açıldığı yer","settings.ide.defaultOpenTarget.label":"Varsayılan açık hedef","settings.ide.defaultOpenTarget.placeholder":"Hedef bulunamadı","settings.ide.language.auto":"Otomatik Algıla","settings.ide.language.autoOption":"Otomatik Algıla","settings.ide.language.description":"Uygulama arayüzü dili","settings.ide.language.label":"Dil","settings.ide.language.search":"Dil ara","settings.layout.actionButton":"Uzatmayı yeniden başlat","settings.layout.actionTitle":"Eylemli ayarlar","settings.layout.fullWidthTitle":"Ayarlar (Tam genişlik)","settings.layout.title":"Ayarlar","settings.localEnvironments.actions.add":"Eylem ekle","settings.localEnvironments.actions.add.description":"Araç çubuğundan çalıştırmak için yeni bir komut oluştur.","settings.localEnvironments.actions.add.save":"Kaydet","settings.localEnvironments.actions.empty":"Yerel araç çubuğundan komut çalıştırmak için bir eylem ekle.","settings.localEnvironments.actions.icon.debug":"Hata ayıkla","settings.localEnvironments.actions.icon.run":"Çalıştır","settings.localEnvironments.actions.icon.test":"Test Et","settings.localEnvironments.actions.icon.tool":"Araç","settings.localEnvironments.actions.item.button.delete":"Sil","settings.localEnvironments.actions.item.command":"Eylem komut dosyası","settings.localEnvironments.actions.item.name":"Ad","settings.localEnvironments.actions.item.platforms":"Platformlar","settings.localEnvironments.actions.item.platforms.help":"Yalnızca belirli bir işletim sisteminde çalışır.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Platform seçimi","settings.localEnvironments.actions.item.platforms.specific":"Platforma özel","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Sil","settings.localEnvironments.actions.title":"Eylemler","settings.localEnvironments.breadcrumb.back":"Geri","settings.localEnvironments.breadcrumb.edit":"düzenle","settings.localEnvironments.breadcrumb.root":"Ortamlar","settings.localEnvironments.environment.actions.description":"Bu eylemler herhangi bir komutu çalıştırabilir ve başlıkta görüntülenir.","settings.localEnvironments.environment.actionsLabel":"Eylemler","settings.localEnvironments.environment.create":"Yerel ortam oluştur","settings.localEnvironments.environment.defaultName":"yerel","settings.localEnvironments.environment.edit":"Yerel ortamı düzenle","settings.localEnvironments.environment.empty":"Bu proje için henüz bir yerel ortam yapılandırılmadı.","settings.localEnvironments.environment.name":"Ad","settings.localEnvironments.environment.setup":"Kurulum komut dosyası","settings.localEnvironments.environment.setup.description":"Bu komut dosyası, worktree oluşturulduğunda çalışır.","settings.localEnvironments.environment.setup.hint":"Proje kökünde çalışır.","settings.localEnvironments.environment.setup.platformOverrides":"Platform geçersiz kılma","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} kurulum komut dosyası ekle","settings.localEnvironments.environment.setup.platformOverrides.description":"Belirli işletim sistemleri için varsayılan komut dosyasını geçersiz kılar.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Kaldır","settings.localEnvironments.environment.setup.script":"Komut dosyası","settings.localEnvironments.environment.title":"Ortam ayrıntıları","settings.localEnvironments.file.missing":"Bu dosyayı ilk kez oluşturmak için kaydet.","settings.localEnvironments.file.parseError":"Mevcut dosya ayrıştırılamadı. Kaydedersen üzerine yazılacak. ({error})","settings.localEnvironments.file.path":"Dosya: {path}","settings.localEnvironments.file.readError":"Yerel ortam verileri yüklenemedi. ({error})","settings.localEnvironments.file.title":"Yerel ortam dosyası","settings.localEnvironments.loading.body":"Projenin yapılandırması alınıyor.","settings.localEnvironments.loading.title":"Yerel ortamlar yükleniyor","settings.localEnvironments.preview.devOnly":"(Yalnızca geliştirme)","settings.localEnvironments.preview.save":"Kaydet","settings.localEnvironments.preview.saveError":"Dosya kaydedilemedi. ({error})","settings.localEnvironments.preview.title":"Ön İzleme","settings.localEnvironments.save.disabled.name":"Kaydetmek için bir ortam ismi ekle.","settings.localEnvironments.save.disabled.noChanges":"Kaydedilecek değişiklik yok.","settings.localEnvironments.save.disabled.saving":"Kaydediliyor...","settings.localEnvironments.save.success":"Yerel ortam kaydedildi","settings.localEnvironments.unavailable.body":"Bu proje için yerel ortam ayarlarını yükleyemedik.","settings.localEnvironments.unavailable.title":"Yerel ortamlar kullanılamıyor","settings.localEnvironments.workspace.add":"Proje ekle","settings.localEnvironments.workspace.title":"Proje","settings.localEnvironments.workspaceSelect.addLabel":"Ortam ekle","settings.localEnvironments.workspaceSelect.description":"Yerel ortamlar, Codex’e bir proje için worktree’leri nasıl kuracağını açıklar. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Henüz proje yok. Yerel ortamları yapılandırmak için bir tane ekle.","settings.localEnvironments.workspaceSelect.errorLabel":"Ortamla ilgilenilmesi gerekli","settings.localEnvironments.workspaceSelect.learnMore":"Daha fazla bilgi al","settings.localEnvironments.workspaceSelect.listLabel":"Mevcut projeler","settings.localEnvironments.workspaceSelect.loading":"Projeler yükleniyor.","settings.localEnvironments.workspaceSelect.loadingLabel":"Ortam yükleniyor","settings.localEnvironments.workspaceSelect.title":"Proje seç","settings.localEnvironments.workspaceSelect.viewAction":"Görüntüle","settings.mcp.addServer":"Sunucu ekle","settings.mcp.app.configure":"Yapılandır","settings.mcp.app.connect":"Bağla","settings.mcp.apps.refresh":"Yenile","settings.mcp.detail.addArgument":"Argüman ekle","settings.mcp.detail.addEnvVar":"Ortam değişkeni ekle","settings.mcp.detail.addEnvVarPassthrough":"Değişken ekle","settings.mcp.detail.args":"Argümanlar","settings.mcp.detail.back":"Geri","settings.mcp.detail.command":"Başlatma komutu","settings.mcp.detail.cwd":"Çalışma dizini","settings.mcp.detail.docs":"Open MCP belgeleri","settings.mcp.detail.docs.link":"Belgeler","settings.mcp.detail.envVarPassthrough":"Ortam değişkeni aktarımı","settings.mcp.detail.envVars":"Ortam değişkenleri","settings.mcp.detail.http.addEnvHeader":"Değişken ekle","settings.mcp.detail.http.addHeader":"Başlık ekle","settings.mcp.detail.http.bearerToken":"Taşıyıcı token için ortam değişkeni","settings.mcp.detail.http.envHeaders":"Ortam değişkenlerinden alınan başlıklar","settings.mcp.detail.http.headers":"Başlıklar","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Ad","settings.mcp.detail.save":"Kaydet","settings.mcp.detail.switchTransportNotice":"MCP sunucusu türünü değiştirmek istersen lütfen önce sunucuyu kaldır.","settings.mcp.detail.titleExisting":"{name} MCP’yi güncelle","settings.mcp.detail.titleNew":"Özel bir MCP sunucusuna bağlan","settings.mcp.detail.transport.http":"Akış destekli HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Kaldır","settings.mcp.empty":"Bağlı özel MCP sunucusu yok","settings.mcp.myServers":"Özel sunucular","settings.mcp.partnerServer.description.figma":"Tüm Figma bağlamını kullanarak daha iyi kod üret","settings.mcp.partnerServer.description.github":"İş akışlarını otomatikleştirmek ve veri çıkarmak için GitHub API’leriyle entegre et","settings.mcp.partnerServer.description.linear":"Linear’ın sorun takibi ve proje yönetimiyle entegre et","settings.mcp.partnerServer.description.notion":"Belgeleri oku, sayfaları güncelle, görevleri yönet","settings.mcp.partnerServer.description.playwright":"Tasarım uygulamak ve UI’yi test etmek için tarayıcı otomasyonunu entegre et","settings.mcp.partnerServer.install":"Yükle","settings.mcp.partnerServer.installAndAuthenticate":"Yükle ve kimlik doğrulaması yap","settings.mcp.partnerServer.logoAlt":"{label} logosu","settings.mcp.partnerServer.manage":"Yönet","settings.mcp.partnerServer.vendor":"{vendor} tarafından","settings.mcp.recommendedServers":"Önerilen sunucular","settings.mcp.restartApp":"Yeniden Başlat","settings.mcp.restartExtension":"Uzatmayı yeniden başlat","settings.mcp.server.enable":"Etkinleştir","settings.mcp.server.login":"Kimliği Doğrula","settings.mcp.server.settings":"Ayarlar","settings.multiselect.createOption":'"{value}" oluştur',"settings.multiselect.removeOption":"Kaldır","settings.nav.account":"Hesap","settings.nav.agent":"Yapılandırma","settings.nav.ariaLabel":"Ayarlar","settings.nav.back":"Uygulamaya geri dön","settings.nav.data-controls":"Arşivlenmiş mesaj dizileri","settings.nav.environments":"Bulut Ortamları","settings.nav.externalTooltip":"[alpha] Tarayıcıda açılır","settings.nav.general-settings":"Genel","settings.nav.git-settings":"Git","settings.nav.local-environments":"Ortamlar","settings.nav.mcp-settings":"MCP sunucuları","settings.nav.notImplemented":"[alpha] Alpha’da kullanılmıyor","settings.nav.personalization":"Kişiselleştirme","settings.nav.skills-settings":"Beceriler","settings.nav.usage-analytics":"Kullanım ve Analiz","settings.nav.worktrees":"Worktree’ler","settings.openSourceLicenses.back":"Geri","settings.openSourceLicenses.loading":"Yükleniyor...","settings.openSourceLicenses.missing":"Üçüncü taraf uyarısı yok.","settings.openSourceLicenses.notSupported":"Bu sunucuda kullanılamıyor.","settings.openSourceLicenses.rowDescription":"Paketlenmiş bağımlılıklar için üçüncü taraf uyarıları","settings.openSourceLicenses.rowLabel":"Açık kaynak lisansları","settings.openSourceLicenses.subtitle":"Bu uygulama dâhilindeki bağımlılıklar için üçüncü taraf uyarıları","settings.openSourceLicenses.title":"Açık kaynak lisansları","settings.openSourceLicenses.view":"Görüntüle","settings.personalization.agents.description":"Codex’i sana özel kılan talimatları düzenle. {learnMore}","settings.personalization.agents.learnMore":"Daha fazla bilgi al","settings.personalization.agents.loadError":"agents.md yüklenemiyor.","settings.personalization.agents.loading":"agents.md yükleniyor…","settings.personalization.agents.placeholder":"Özel talimatlarını ekle…","settings.personalization.agents.retry":"Yeniden dene","settings.personalization.agents.save":"Kaydet","settings.personalization.agents.save.error":"agents.md kaydedilemedi","settings.personalization.agents.save.success":"agents.md kaydedildi","settings.personalization.agents.title":"Özel talimatlar","settings.personalization.personality.description":"Codex yanıtları için varsayılan bir tonu seç","settings.personalization.personality.label":"Kişilik","settings.sample.contentBody":"Ayarlar panelini tutarlı boşluklarla oluşturmak için bu düzeni kullan.","settings.sample.contentTitle":"Örnek içerik bloku","settings.section.account":"Hesap","settings.section.agent":"Yapılandırma","settings.section.data-controls":"Arşivlenmiş mesaj dizileri","settings.section.environments":"Bulut Ortamları","settings.section.external":"Alpha sırasında tarayıcında açılır","settings.section.general-settings":"Genel","settings.section.git-settings":"Git","settings.section.local-environments":"Ortamlar","settings.section.mcp-settings":"MCP sunucuları","settings.section.mcp-settings.docs":"Belgeler","settings.section.mcp-settings.subtitle":"Harici araçları ve veri kaynaklarını bağla.","settings.section.personalization":"Kişiselleştirme","settings.section.skills-settings":"Beceriler","settings.section.unavailable":"Henüz Alpha’da kullanılmıyor","settings.section.usage-analytics":"Kullanım ve Analiz","settings.section.worktrees":"Worktree’ler","settings.threadDetail.description":"Komut çıktısının kaç mesaj dizisinde gösterileceğini seç","settings.threadDetail.label":"Mesaj dizisi ayrıntısı","settings.worktrees.conversation.untitled":"İsimsiz konuşma","settings.worktrees.delete.error":"Worktree silinemedi","settings.worktrees.empty.body":"Codex tarafından oluşturulan worktree’ler burada gösterilecek.","settings.worktrees.empty.title":"Henüz worktree yok","settings.worktrees.error.body":"Worktree’ler yüklenirken bir hata oluştu.","settings.worktrees.error.retry":"Yeniden dene","settings.worktrees.error.title":"Worktree’ler yüklenemiyor","settings.worktrees.loading.body":"Worktree ayrıntıları alınıyor.","settings.worktrees.loading.title":"Worktree’ler yükleniyor","settings.worktrees.repository.loading":"Depo üstverisi yükleniyor...","settings.worktrees.repository.unknown":"Bilinmeyen depo","settings.worktrees.row.conversations":"Konuşmalar","settings.worktrees.row.conversations.empty":"Bu worktree ile bağlantılı konuşma yok.","settings.worktrees.row.conversations.loading":"Konuşmalar yükleniyor...","settings.worktrees.row.delete":"Sil","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Yeni proje ekle","sidebarElectron.archiveThread":"Mesaj dizisini arşivle","sidebarElectron.archiveThreadError":"Mesaj dizisi arşivlenemedi","sidebarElectron.collapseFolder":"Klasörü daralt","sidebarElectron.createStableWorktree":"Kalıcı worktree oluştur","sidebarElectron.createStableWorktree.dialog.ariaLabel":"Proje ismi","sidebarElectron.createStableWorktree.dialog.cancel":"İptal et","sidebarElectron.createStableWorktree.dialog.create":"Oluştur","sidebarElectron.createStableWorktree.dialog.placeholder":"Proje ismi","sidebarElectron.createStableWorktree.dialog.subtitle":"HEAD’den yeni bir git worktree’si oluştur, bunu proje olarak ekle ve silene kadar sakla.","sidebarElectron.createStableWorktree.dialog.title":"Worktree oluştur ve bunu proje olarak kaydet","sidebarElectron.createStableWorktree.error":"Kalıcı worktree oluşturulamadı: {message}","sidebarElectron.debugNavLink":"Hata ayıkla","sidebarElectron.editWorkspaceRootOptionName":"İsmi düzenle","sidebarElectron.expandFolder":"Klasörü genişlet","sidebarElectron.groupByMenu.recency":"Kronolojik liste","sidebarElectron.groupByMenu.title":"Düzenle","sidebarElectron.groupByMenu.workspace":"Projeye göre","sidebarElectron.inboxRouteNavLink":"Otomasyonlar","sidebarElectron.markThreadUnread":"Okunmamış olarak işaretle","sidebarElectron.missingWorkspaceRoot":"Bu proje klasörü silinmiş veya taşınmış","sidebarElectron.newThread":"Yeni mesaj dizisi","sidebarElectron.newThreadInGroup":"{folder} klasöründe yeni mesaj dizisi başlat","sidebarElectron.noRecentThreads":"Yakın zamanlı mesaj dizisi yok","sidebarElectron.noTasks":"Mesaj dizisi yok","sidebarElectron.noTasks.start":"Yeni proje ekle","sidebarElectron.noTasksWithFilter":"Filtrelere uyan mesaj dizisi yok","sidebarElectron.pinnedThreads":"Sabitlenmiş mesaj dizileri","sidebarElectron.recentNavLink":"Mesaj dizileri","sidebarElectron.recentThreads":"Yakın zamanlı mesaj dizileri","sidebarElectron.removeWorkspaceRootOption":"Kaldır","sidebarElectron.renameThread":"Mesaj dizisini yeniden adlandır","sidebarElectron.renameThreadDialogAriaLabel":"Mesaj dizisi başlığı","sidebarElectron.renameThreadDialogCancel":"İptal et","sidebarElectron.renameThreadDialogPlaceholder":"Başlık ekle…","sidebarElectron.renameThreadDialogSave":"Kaydet","sidebarElectron.renameThreadDialogSubtitle":"Kısa ve ayırt edilebilir bir başlık seç.","sidebarElectron.renameThreadDialogTitle":"Mesaj dizisini yeniden adlandır","sidebarElectron.renameThreadError":"Mesaj dizisi yeniden adlandırılamadı","sidebarElectron.renameWorkspaceRootOptionLabel":"Görünen isim","sidebarElectron.showLess":"Daha az göster","sidebarElectron.showMenu.all":"Tüm mesaj dizileri","sidebarElectron.showMenu.relevant":"İlgili","sidebarElectron.showMenu.relevantHint":"Mecvut dal, worktree’ler veya ilgilenmen gereken diğer mesaj dizileri için sadece yakın zamanlı mesaj dizilerini göster","sidebarElectron.showMenu.title":"Göster","sidebarElectron.showMenu.tooltip":"Mesaj dizilerini filtrele, sırala ve düzenle","sidebarElectron.showMenu.trigger":"Kenar çubuğu mesaj dizilerini filtrele","sidebarElectron.showMore":"Daha fazla göster","sidebarElectron.skillsAppsRouteNavLink":"Beceriler ve Uygulamalar","sidebarElectron.skillsRouteNavLink":"Beceriler","sidebarElectron.sortMenu.created":"Oluşturma tarihi:","sidebarElectron.sortMenu.title":"Sıralama kriteri:","sidebarElectron.sortMenu.updated":"Güncellendi","sidebarElectron.taskNavigation":"Otomasyon klasörleri","sidebarElectron.tasksInFolder":"{folder} klasöründeki otomasyonlar","sidebarElectron.workspaceOptions":"{folder} için proje eylemleri","sidebarElectron.worktreeGroupTooltip":"Bu bir git çalışma dizini","skills.appsPage.apps.enableToggle":"Uygulamayı etkinleştir","skills.appsPage.apps.installOnChatGpt":"ChatGPT’ye yükle","skills.appsPage.apps.manageOnChatGpt":"ChatGPT’de yönet","skills.appsPage.apps.noDescription":"Açıklama yok","skills.appsPage.createSkill":"Yeni beceri","skills.appsPage.empty.apps":"Uygulama bulunmadı","skills.appsPage.empty.discoverApps":"Keşfedilecek uygulama yok","skills.appsPage.empty.installedApps":"Yüklü uygulama yok","skills.appsPage.empty.skills":"Beceri bulunamadı","skills.appsPage.heading":"Beceriler ve Uygulamalar","skills.appsPage.search.all":"Beceri ve uygulama ara","skills.appsPage.search.all.label":"Beceri ve uygulama ara","skills.appsPage.search.apps":"Uygulama ara","skills.appsPage.search.apps.label":"Uygulama ara","skills.appsPage.search.skills":"Beceri ara","skills.appsPage.search.skills.label":"Beceri ara","skills.appsPage.section.apps":"Uygulamalar","skills.appsPage.section.apps.seeAll":"Tüm {count} uygulamalarını görüntüle","skills.appsPage.section.discover":"Keşfet","skills.appsPage.section.installedApps":"Yüklü","skills.appsPage.section.skills":"Beceriler","skills.appsPage.section.skills.seeAll":"Tüm {count} becerilerini görüntüle","skills.appsPage.subheading":"Codex’e süper güçler kazandır. <link>Daha fazla bilgi al</link>","skills.appsPage.tab.apps":"Uygulamalar","skills.appsPage.tab.recommended":"Önerilen","skills.appsPage.tab.skills":"Beceriler","skills.card.contentsError":"Beceri içerikleri yüklenemedi.","skills.card.disable":"Devre dışı bırak","skills.card.disableSuccess":"{skillName} beceri devre dışı bırakıldı","skills.card.disabledBadge":"Devre dışı bırakıldı","skills.card.enable":"Etkinleştir","skills.card.enableSuccess":"{skillName} beceri etkinleştirildi","skills.card.loadingContents":"Beceri içerikleri yükleniyor...","skills.card.more":"Daha fazla eylem","skills.card.open":"Aç","skills.card.removeFailed":"Beceri kaldırılamadı","skills.card.removeSuccess":"{skillName} beceri kaldırıldı","skills.card.toggleEnabledError":"Beceri güncellenemedi","skills.card.try":"Dene","skills.card.trySkill":"Beceriyi dene","skills.card.uninstall":"Kaldır","skills.hero.dotLabel":"{index} numaralı slayta git","skills.hero.next":"Sonraki öne çıkan beceri","skills.hero.trySkill":"Beceriyi dene","skills.page.createSkill":"Yeni beceri","skills.page.empty":"Hiçbir beceri bulunamadı","skills.page.filteredEmpty":"Filtrelerinle eşleşen beceri yok","skills.page.filteredEmptyDescription":"Arama veya kapsam filtrelerini ayarlamayı dene.","skills.page.heading":"Beceriler","skills.page.loading":"Beceriler yükleniyor...","skills.page.refreshSkills":"Yenile","skills.page.refreshSkillsToUseNew":"Yeni beceriyi/becerileri kullanmak için sayfayı yenile","skills.page.search":"Becerileri ara","skills.page.search.label":"Becerileri ara","skills.page.subheading":"Codex’e süper güçler kazandır. <link>Daha fazla bilgi al</link>","skills.preview.copyPrompt":"İstemi kopyala","skills.preview.examplePrompt":"Örnek istem","skills.recommended.error":"Önerilen beceriler yüklenemedi","skills.recommended.install":"Yükle","skills.recommended.installSkill":"Beceri yükle","skills.recommended.installSuccess":"{skillName} beceri yüklendi","skills.recommended.installed":"Yüklü","skills.scope.admin":"Yönetici","skills.scope.adminInstalled":"Yönetici yüklendi","skills.scope.builtIn":"Sistem","skills.scope.personal":"Kişisel","skills.scope.repo":"Depo","skills.scope.system":"Sistem","skills.scope.team":"Takım","skills.scope.user":"Kullanıcı","skills.section.installed":"Yüklü","skills.section.recommended":"Önerilen","story.slidingToggle.existing":"Mevcut","story.slidingToggle.fromLocal":"Yerelden","story.slidingToggle.new":"Yeni","story.slidingToggle.toLocal":"Yerele","terminal.close":"Terminali kapat","terminal.title":"Terminal","thinkingShimmer.default":"Düşünüyor","threadEnvIcon.cloudTooltip":"Bu sohbet Codex Cloud’da çalıştırılıyor.","threadEnvIcon.localTooltip":"Bu konuşma yerel olarak çalıştırılıyor.","threadEnvIcon.worktreeTooltip":"Bu sohbet yerel bir git worktree’sinde çalıştırılıyor","threadHeader.archiveConfirmCancel":"İptal et","threadHeader.archiveConfirmConfirm":"Arşivle","threadHeader.archiveConfirmSubtitle":"Bunu daha sonra arşivlenmiş mesaj dizilerinde bulabilirsin.","threadHeader.archiveConfirmTitle":"Mesaj dizisi arşivlensin mi?","threadHeader.copyAppLink":"Derin bağlantıyı kopyala","threadHeader.copySessionId":"Oturum kimliğini kopyala","threadHeader.copyWorkingDirectory":"Çalışma dizinini kopyala","threadHeader.forkIntoLocal":"Yerele çatalla","threadHeader.forkIntoWorktree":"Yeni worktree’ye çatalla","threadHeader.forkPendingWorktreePrompt":"Bu konuşmayı yeni bir worktree’ye çatalla.","threadHeader.forkPendingWorktreeTitle":"Çatallanan konuşma","threadHeader.forkThreadError":"Mesaj dizisi çatallanamadı","threadHeader.forkThreadRequiresGitRepo":"Yeni worktree’ye çatallamak için bir git deposu gerekir","threadHeader.moreActions":"Mesaj dizisi eylemleri","threadPage.newThread":"Yeni mesaj dizisi","threadPage.runAction.changeEnvironment":"Ortamı değiştir","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} eylemleri","threadPage.runAction.environmentSelector.label":"Ortam seç","threadPage.runAction.label":"Çalıştır","threadPage.runAction.missing.label":"Bir çalıştırma eylemi ayarla","threadPage.runAction.setup.commandLabel":"Çalıştırma komutu","threadPage.runAction.setup.description":"Codex’e bağımlılıkları nasıl yükleyeceğini söyle ve uygulamanı başlat.","threadPage.runAction.setup.editMore":"Ortam ayarları","threadPage.runAction.setup.placeholder":"ör: npm install npm run","threadPage.runAction.setup.submit":"Kaydet ve çalıştır","threadPage.runAction.setup.title":"Çalıştır","threadPage.runAction.tooltip.withEnvironment":"{environmentName} eylemleri","threadPage.toggleDiffPanel":"Fark panelini değiştir","threadPage.toggleTerminal":"Terminali değiştir","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Klasörü aç","toolSummaryForCmd.exploredFiles":"Dosyalar <verb>listelendi</verb>","toolSummaryForCmd.exploredFilesInPath":"{path} yolundaki dosyalar <verb>listelendi</verb>","toolSummaryForCmd.exploringFiles":"Dosyalar <verb>listeleniyor</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} yolundaki dosyalar <verb>listeleniyor</verb>","toolSummaryForCmd.finishedBackgroundTerminal":"Arka plan terminali tamamlandı","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"Arka plan terminali {command} ile tamamlandı","toolSummaryForCmd.ranGenericCommand":"<status>Komut çalıştırıldı</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Çalıştırıldı</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Oku</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Komut çalıştırılıyor</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} için","toolSummaryForCmd.searchedFor":"{query} için <verb>arama yapıldı</verb>","toolSummaryForCmd.searchedForFiles":"Dosyalar için <verb>arama yapıldı</verb>","toolSummaryForCmd.searchedForInPath":"{path} içinde {query}<verb>arandı</verb>","toolSummaryForCmd.searchingFor":"{query}<verb>aranıyor</verb>","toolSummaryForCmd.searchingForFiles":"Dosyalar <verb>aranıyor</verb>","toolSummaryForCmd.searchingForInPath":"{path} içinde {query}<verb>aranıyor</verb>","toolSummaryForCmd.startedBackgroundTerminal":"Arka plan terminali başladı","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"Arka plan terminali {command} ile başladı","traceRecording.details.noteLabel":"Bu olduğunda ne yapıyordun? (isteğe bağlı)","traceRecording.details.notePlaceholder":"Büyük bir mesaj dizisine gittim, ardından tekrar tekrar sekme değiştirdim…","traceRecording.details.submit":"İz gönder","traceRecording.details.subtitle":"Performans sorunlarını teşhis etmeye yardımcı olmak için bu profil izini gönderebiliriz.","traceRecording.details.title":"Profil izi gönderilsin mi?","traceRecording.progress.subtitle":"Bu tamamlandığında Codex’i açık tut.","traceRecording.saving.title":"İz kaydediliyor…","traceRecording.startDetails.cancel":"İptal et","traceRecording.startDetails.submit":"Tamam, Kayda Başla","traceRecording.startDetails.subtitle":"Tamama tıkladıktan sonra, performans sorununu yeniden oluştur. Ardından kaydı durdurmak ve izi incelemek için, ekranda görünen kırmızı göstergeye tıkla.","traceRecording.startDetails.title":"İz Kaydı Nasıl Çalışır?","traceRecording.stopButton.ariaLabel":"İz kaydını durdur","traceRecording.upload.successToast":"Profil izi gönderildi.","traceRecording.uploading.title":"İz yükleniyor...","wham.diff.addComment":"Yorum ekle","wham.diff.binaryFile":"İkili dosya gösterilmiyor","wham.diff.noContent":"İçerik yok","wham.fileTag.deleted":"Silindi","wham.fileTag.new":"Yeni","wham.formattedRelativeDateTime.compactDaysAgo":"{value} gün","wham.formattedRelativeDateTime.compactHoursAgo":"{value} sa.","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} dk.","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} ay","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} hafta","wham.formattedRelativeDateTime.compactYearsAgo":"{value} yıl","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Görevin üzerinde çalışıyor","wham.whamProposedTask.title":"Önerilen görev","wham.whamProposedTask.useSuggestion":"Öneriyi kullan","workspaceRootDialog.addError":"Proje eklenemedi","workspaceRootDialog.cancel":"İptal et","workspaceRootDialog.confirmAdd":"Proje ekle","workspaceRootDialog.confirmPick":"Projeyi kullan","workspaceRootDialog.description":"Proje olarak kullanmak için {host} üzerinde bir yol gir.","workspaceRootDialog.pathLabel":"Proje yolu","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Proje yolu ekle","workspaceRootDialog.title.pick":"Proje yolu seç","worktreeInitV2.cancel":"İptal et","worktreeInitV2.notification.failedTitle":"Worktree kurulumu başarısız","worktreeInitV2.output.empty":"Çıktı bekleniyor...","worktreeInitV2.status.error":"Worktree kurulumu başarısız.","worktreeInitV2.status.running":"Worktree oluşturuluyor ve kurulum çalıştırılıyor.","worktreeInitV2.status.runningFork":"Bu konuşmayı çatallamak için bir worktree oluşturuluyor","worktreeInitV2.status.success":"Worktree hazır.","worktreeInitV2.title":"Çalışma dizini oluşturuluyor","worktreeInitV2.workLocallyInstead":"Bunun yerine yerel olarak çalış","worktreeRestoreBanner.body":"Bu mesaj dizisinin worktree’si diskte alan açmak için kaldırıldı","worktreeRestoreBanner.missing.body":"Bu mesaj dizisinin worktree klasörü artık mevcut değil","worktreeRestoreBanner.missing.title":"Mevcut çalışma dizini eksik","worktreeRestoreBanner.restore.error":"Worktree geri yüklenemedi: {message}","worktreeRestoreBanner.restore.success":"Worktree geri yüklendi","worktreeRestoreBanner.restoreCta":"Worktree’yi geri yükle","worktreeRestoreBanner.title":"Worktree temizlendi"};Object.assign(e,globalThis.codexI18nOverrides?.["tr-TR"]);export{e as default};
 //# sourceMappingURL=tr-TR-CMYNZtko.js.map
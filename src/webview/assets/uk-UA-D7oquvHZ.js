@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Копіювати","app.sidebar.hide":"Приховати бічну панель","app.sidebar.show":"Показати бічну панель","app.sidebar.tooltip":"Перемкнути бічну панель","appHeader.installUpdate":"Оновити","appSunset.body":"Ця версія програми більше не підтримується. Завантажте останню версію <here>тут</here>.","appSunset.title":"Потрібно встановити оновлення","automation.updateDirective.create":"Створити","automation.updateDirective.open":"Відкрити","automation.updateDirective.untitled":"Автоматизація без назви","automation.updateDirective.update":"Оновити","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# спроба} few {# спроби} many {# спроб} other {# спроби}}","cloudTaskRow.archiveError":"Не вдалось архівувати завдання","code.diff.requestChange":"Надіслати запит на зміну","code.diffComment.cancel":"Скасувати","code.diffComment.comment":"Коментар","code.diffComment.delete":"Видалити","code.diffComment.save":"Зберегти","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Нічого не знайдено.","codex.alert.closeAriaLabel":"Закрити","codex.appUpsellBanner.cbpApi.message":"Працюйте швидше з програмою Codex. Завантажте зараз або {learnMoreLink}.","codex.appUpsellBanner.download":"Завантаження","codex.appUpsellBanner.freeGo.message":"Codex включено до вашого тарифу до 2 березня. Спробуйте програму Codex, щоб працювати швидше.","codex.appUpsellBanner.later":"Пізніше","codex.appUpsellBanner.learnMoreLowercase":"докладніше","codex.appUpsellBanner.new":"Новий","codex.appUpsellBanner.proPlusBusiness.message":"Спробуйте програму Codex із подвійними лімітами до 2 квітня. Завантажте зараз або {learnMoreLink}.","codex.appUpsellBanner.title":"Програма Codex","codex.applyDropdown.header.changes":"Зміни","codex.applyDropdown.header.fileCount":"{count, plural, one {# файл} few {# файли} many {# файли} other {# файли}}","codex.applyDropdown.header.rows":"рядки","codex.applyDropdown.header.title":"Застосувати зміни","codex.applyDropdown.header.workspace":"Проєкт","codex.applyDropdown.results.conflicted":"{count, plural, one {1 файл спричиняє конфлікт:} few {{count} файли спричиняють конфлікт:} many {{count} файлів спричиняють конфлікт:} other {{count} файлу спричиняють конфлікт:}}","codex.applyDropdown.results.empty":"Не було скопійовано жодного файлу","codex.applyDropdown.results.skipped":"{count, plural, one {1 файл пропущено:} few {{count} файли пропущено:} many {{count} файлів пропущено:} other {{count} файлу пропущено:}}","codex.applyOrRevertBanner.apply":"Застосувати","codex.applyOrRevertBanner.applyMessage":"Застосувати зміни та продовжити локально?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Це завдання було створено в {environment}, тому його застосування може бути не зовсім точним.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Зміни було внесено в {environment}, тому їх застосування може бути не зовсім точним.","codex.applyOrRevertBanner.reapply":"Застосувати заново","codex.applyOrRevertBanner.revert":"Повернути до попереднього стану","codex.applyOrRevertBanner.revertMessage":"Скасувати внесені зміни?","codex.applyResultsDialog.applied":"Успішно застосовано ({count})","codex.applyResultsDialog.close":"Закрити","codex.applyResultsDialog.conflicted":"Конфлікти ({count})","codex.applyResultsDialog.noDetails":"Дані про файл недоступні.","codex.applyResultsDialog.skipped":"Пропущено ({count})","codex.applyResultsDialog.title":"Застосувати результати","codex.archiveInfo":"Перегляньте заархівовані чати в {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Елементи керування даними","codex.archiveInfo.electron":"Перегляньте заархівовані чати в {settingsLink}","codex.archiveInfo.extension":"Перегляньте заархівовані чати у своїй папці .codex.","codex.archiveInfo.settingsLink":"Налаштування","codex.banner.content.description":"Виконуйте кілька завдань одночасно, відстежуйте прогрес будь-де та перевіряйте запити на додавання змін за допомогою ШІ.","codex.banner.content.headline":"Codex уміє все це.","codex.cloudTaskRow.archiveTask":"Архівувати завдання","codex.cloudTaskRow.confirmArchiveTask":"Підтвердити","codex.command.feedback":"Відгук","codex.command.findInThread":"Знайти","codex.command.forceReloadSkills":"Примусово перезавантажити навички","codex.command.logOut":"Вийти","codex.command.manageTasks":"Керувати завданнями","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Назад","codex.command.navigateForward":"Уперед","codex.command.newThread":"Новий ланцюжок","codex.command.nextThread":"Наступний ланцюжок","codex.command.openFolder":"Відкрити папку","codex.command.openSkills":"Перейти до навичок","codex.command.openThreadOverlay":"Відкрити гілку в окремому вікні","codex.command.personalitySettings":"Особистість","codex.command.previousThread":"Попередній ланцюжок","codex.command.settings":"Налаштування","codex.command.toggleDiffPanel":"Увімкнути/вимкнути панель відображення відмінностей","codex.command.toggleSidebar":"Перемкнути бічну панель","codex.command.toggleTerminal":"Увімкнути/вимкнути термінал","codex.commandGroup.app":"Програма","codex.commandGroup.configure":"Налаштувати","codex.commandGroup.navigation":"Навігація","codex.commandGroup.panels":"Панелі","codex.commandGroup.skills":"Навички","codex.commandGroup.thread":"Ланцюжок","codex.commandGroup.workspace":"Проєкт","codex.commandMenu.noResults":"Немає збігів","codex.commandMenu.searchPlaceholder":"Шукати команди","codex.commandMenu.suggestedGroup":"Рекомендовано","codex.commandMenu.switchWorkspace":"Перемкнути проєкт","codex.commandMenu.title":"Меню команд","codex.common.retry":"Повторити спробу","codex.composer.searchBranches":"Пошук розгалужень","codex.dialog.basic.body":"Це просте модальне вікно, яке використовує нашу надбудову для Radix Dialog.","codex.dialog.basic.cancel":"Скасувати","codex.dialog.basic.confirm":"Підтвердити","codex.dialog.basic.open":"Відкрити діалогове вікно","codex.dialog.basic.title":"Зразок діалогового вікна","codex.dialog.long.close":"Закрити","codex.dialog.long.line":"Рядок із прокруткою {index} для показу довгого вмісту всередині діалогового вікна.","codex.dialog.long.open":"Відкрити довге діалогове вікно","codex.dialog.long.title":"Діалогове вікно з довгим умістом","codex.dialog.unstyled.body":"Ця історія показує, як виклики можуть повністю керувати стилізацією вмісту діалогу.","codex.dialog.unstyled.open":"Відкрити нестилізований діалог","codex.dialog.unstyled.title":"Нестилізований уміст","codex.diff.openInEditorPrompt.openButton":"Відкрити в редакторі","codex.diff.openInEditorPrompt.singleLine":"Цей файл завеликий, щоб відобразити його тут.","codex.diffView.failedToDecodeBase64Diff":"Не вдалося розшифрувати відмінності base64","codex.diffView.filesChanged":"{fileCount, plural, one {Змінено # файл} few {Змінено # файли} many {Змінено # файлів} other {Змінено # файлу}}","codex.diffView.imagePreviewAlt":"Попередній перегляд зображення","codex.diffView.imagePreviewEmpty":"Немає зображення","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Немає даних про відмінності","codex.diffView.pdfPreview.nextPage":"Наступна сторінка","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Попередня сторінка","codex.diffView.pdfPreviewEmpty":"Попередній перегляд PDF недоступний","codex.diffView.pdfPreviewError":"Не вдалося відобразити попередній перегляд PDF","codex.diffView.richPreviewDisable":"Вимкнути розширений попередній перегляд","codex.diffView.richPreviewEnable":"Увімкнути розширений попередній перегляд","codex.diffView.richPreviewLoading":"Завантаження попереднього перегляду…","codex.diffView.richPreviewToggle":"Перемкнути розширений попередній перегляд","codex.diffView.switchToUnified":"Показати об’єднані відмінності","codex.environmentSelector.noEnvironment":"Немає середовища","codex.environments.environmentSettings":"Налаштування середовища","codex.environments.learnMore":"Докладніше","codex.environments.listError":"Не вдалося завантажити середовища.","codex.environments.noEnvironmentsFound":"Не вдалося знайти середовище","codex.environments.searchError":"Не вдалося виконати пошук середовищ.","codex.errorBoundary.genericError":"Сталася помилка","codex.errorBoundary.goHome":"Повторити спробу","codex.file.patch.missing":"Не вдалося створити виправлення для цього файлу.","codex.gallery.automations.cwdLabel":"Проєкти","codex.gallery.automations.nameLabel":"Ім’я","codex.gallery.automations.namePlaceholder":"Узагальнити завдання","codex.gallery.automations.promptLabel":"Запит","codex.gallery.automations.promptPlaceholder":"Опишіть, що має робити Codex","codex.gallery.dialogs.automation.label":"Діалог автоматизації","codex.gallery.dialogs.basic.body":"Використовуйте цей макет для простих підтверджень або коротких форм.","codex.gallery.dialogs.basic.cancel":"Скасувати","codex.gallery.dialogs.basic.confirm":"Підтвердити","codex.gallery.dialogs.basic.label":"Базове діалогове вікно","codex.gallery.dialogs.basic.title":"Зразок діалогового вікна","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Опишіть проблему","codex.gallery.dialogs.feedbackSubmission.bad":"Поганий результат","codex.gallery.dialogs.feedbackSubmission.bug":"Помилка","codex.gallery.dialogs.feedbackSubmission.good":"Хороший результат","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Додати журнали поточного сеансу Codex","codex.gallery.dialogs.feedbackSubmission.label":"Надсилання відгуку","codex.gallery.dialogs.feedbackSubmission.other":"Інше","codex.gallery.dialogs.feedbackSubmission.placeholder":"Опишіть проблему тут","codex.gallery.dialogs.feedbackSubmission.submit":"Надіслати","codex.gallery.dialogs.feedbackSubmission.title":"Відгук","codex.gallery.dialogs.feedbackSuccess.body":"Відгук передано. Якщо проблема не зникне, створіть запит на GitHub або згадайте ідентифікатор ланцюжка в уже відкритому запиті:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Відхилити","codex.gallery.dialogs.feedbackSuccess.label":"Відгук успішно надіслано","codex.gallery.dialogs.feedbackSuccess.title":"Відгук передано","codex.gallery.dialogs.gitApplyResults.applied":"Застосовано без конфліктів (2)","codex.gallery.dialogs.gitApplyResults.close":"Закрити","codex.gallery.dialogs.gitApplyResults.conflicted":"Конфлікти (1)","codex.gallery.dialogs.gitApplyResults.label":"Застосувати результати","codex.gallery.dialogs.gitApplyResults.title":"Застосувати результати","codex.gallery.dialogs.gitPushError.body":"Отримайте останні зміни або виконайте примусове надсилання, якщо ви впевнені, що історію у віддаленому репозиторії можна безпечно перезаписати.","codex.gallery.dialogs.gitPushError.cancel":"Скасувати","codex.gallery.dialogs.gitPushError.force":"Примусово надіслати зміни","codex.gallery.dialogs.gitPushError.label":"Помилка надсилання","codex.gallery.dialogs.gitPushError.subtitle":"Ваша гілка відстає від origin/main.","codex.gallery.dialogs.gitPushError.title":"Не вдалось надіслати зміни","codex.gallery.dialogs.gitRevert.cancel":"Скасувати","codex.gallery.dialogs.gitRevert.confirm":"Повернути до попереднього стану","codex.gallery.dialogs.gitRevert.label":"Скасувати зміни","codex.gallery.dialogs.gitRevert.skip":"Більше не запитувати","codex.gallery.dialogs.gitRevert.subtitle":"Виконання цієї дії призведе до видалення всіх змін.","codex.gallery.dialogs.gitRevert.title":"Скасувати зміни?","codex.gallery.dialogs.longForm.label":"Діалог із розгорнутим умістом","codex.gallery.dialogs.proseModal.body":"Цей модальний стиль використовується для довших інструкцій, початкового ознайомлення або насичених умістом блоків.","codex.gallery.dialogs.proseModal.close":"Закрити","codex.gallery.dialogs.proseModal.subtitle":"Розміщуйте тут розгорнуті інструкції або документацію.","codex.gallery.dialogs.proseModal.title":"Модальний режим із текстовим умістом","codex.gallery.dialogs.submitBlocked.label":"Надсилання заблоковано","codex.gallery.dialogs.submitBlocked.message":"Не вдалося надіслати повідомлення, оскільки проєкт недоступний.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Не вдалося надіслати повідомлення","codex.gallery.dialogs.title":"Діалоги","codex.gallery.dropdown.filterPlaceholder":"Фільтрувати елементи","codex.gallery.dropdowns.actionRow":"Рядки дій","codex.gallery.dropdowns.actionRow.disabled":"Неактивна дія","codex.gallery.dropdowns.actionRow.primary":"Основна дія","codex.gallery.dropdowns.actionRow.secondary":"Додаткова дія","codex.gallery.dropdowns.actionRow.trigger":"Показати дії","codex.gallery.dropdowns.basic":"Базовий розкривний список","codex.gallery.dropdowns.basic.newFile":"Новий файл","codex.gallery.dropdowns.basic.newFolder":"Нова папка","codex.gallery.dropdowns.basic.openSettings":"Відкрити налаштування","codex.gallery.dropdowns.basic.title":"Швидкі дії","codex.gallery.dropdowns.basic.trigger":"Відкрити меню","codex.gallery.dropdowns.basic.upload":"Передати","codex.gallery.dropdowns.panel":"Поверхня панелі","codex.gallery.dropdowns.panel.apply":"Застосувати","codex.gallery.dropdowns.panel.body":"Перегляньте відмінності та застосуйте їх до свого проєкту.","codex.gallery.dropdowns.panel.preview":"Попередній перегляд","codex.gallery.dropdowns.panel.title":"Застосувати зміни","codex.gallery.dropdowns.panel.trigger":"Відкрити панель","codex.gallery.dropdowns.search":"Розкривний список із пошуком","codex.gallery.dropdowns.search.first":"Альфа-канал","codex.gallery.dropdowns.search.second":"Бета-гілка","codex.gallery.dropdowns.search.third":"Кандидат на випуск","codex.gallery.dropdowns.search.trigger":"Фільтрувати елементи","codex.gallery.dropdowns.submenu":"Розкривний список із підменю","codex.gallery.dropdowns.submenu.optionA":"Проєкт альфа","codex.gallery.dropdowns.submenu.optionB":"Проєкт бета","codex.gallery.dropdowns.submenu.optionC":"Проєкт гамма","codex.gallery.dropdowns.submenu.primary":"Призначити власника","codex.gallery.dropdowns.submenu.secondary":"Перемістити до","codex.gallery.dropdowns.submenu.tertiary":"Архівувати","codex.gallery.dropdowns.submenu.trigger":"Виберіть дію","codex.gallery.dropdowns.title":"Розкривні списки","codex.gallery.inbox.automations.close":"Закрити","codex.gallery.inbox.automations.popover.cardTitle":"Керувати автоматизаціями","codex.gallery.inbox.automations.popover.dialogTitle":"Керувати автоматизаціями","codex.header.settingsTooltip":"Налаштування","codex.hunk.patch.error":"Не вдалось підготувати","codex.hunk.patch.missing":"Не вдалося створити виправлення для цього фрагмента.","codex.hunk.patch.partialSuccess":"Частково виконано","codex.hunk.patch.revertError":"Не вдалося скасувати підготовку","codex.hunk.patch.revertSuccess":"Підготовку скасовано","codex.hunk.patch.success":"Підготовано","codex.legal.autonomy.details":"Докладну інформацію див. за посиланням {link}","codex.legal.autonomy.details.link":"Документи Codex","codex.legal.autonomy.title":"Оберіть рівень автономії, який ви хочете надати","codex.legal.backButton":"Назад","codex.legal.cloud.taskOne.meta":"openai/agi · 12 жовтня","codex.legal.cloud.taskOne.title":"Поясніть новому розробнику, що таке сховище","codex.legal.cloud.taskThree.meta":"openai/codex · 8 жовтня","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Створіть темну тему","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 жовтня","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Виправте помилку в процесі ознайомлення","codex.legal.continue.apikey":"Продовжити","codex.legal.continueButton":"Далі","codex.legal.copilot.details":"Усі запити до моделей, тарифікація та ліміти відповідно до вашого плану Copilot. {oaiTos} і {gitHubTos} регулюють використання розширення Codex.","codex.legal.copilot.gitHubTosLink":"Умови обслуговування GitHub","codex.legal.copilot.oaiTosLink":"Умови обслуговування OpenAI Codex","codex.legal.copilot.title":"На платформі GitHub Copilot","codex.legal.mistakes.review":"Перевірити створений код і виконані команди","codex.legal.mistakes.title":"Codex може помилятися.","codex.legal.powered.details":"Ліміти і {link} відповідно до вашого плану.","codex.legal.powered.details.link":"дозволи щодо використання даних для навчання","codex.legal.powered.title":"На базі вашого облікового запису ChatGPT","codex.legal.step.cloud.subtitle":"Виконуйте завдання у фоновому режимі в Codex, щоб зосередитися та працювати швидше.","codex.legal.step.cloud.title":"Передача в Codex у хмарі","codex.legal.step.intro.subtitle":"Codex переміщується, редагує, виконує команди й тести безпосередньо у вашому сховищі, використовуючи ваш обліковий запис ChatGPT.","codex.legal.step.intro.title":"Codex у вашому інтегрованому середовищі розробки","codex.legal.step.todo.subtitle":"Додайте коментар TODO й одним дотиком перетворіть його на завдання Codex.","codex.legal.step.todo.title":"Перетворення коментарів TODO на завдання Codex","codex.legal.todo.heading":"// TODO: упровадити схему","codex.localConversation.closeImagePreview":"Закрити попередній перегляд зображення","codex.localConversation.userImageAttachment":"Вкладення користувача","codex.localTaskRow.archiveTask":"Архівувати ланцюжок","codex.localTaskRow.awaitingApproval":"Очікує схвалення","codex.localTaskRow.awaitingResponse":"Очікується відповідь","codex.localTaskRow.confirmArchiveTask":"Підтвердити","codex.loggedOut.apiKeyPrompt.cancel":"Скасувати","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Отримати ключ API","codex.loggedOut.apiKeyPrompt.inputLabel":"Уведіть свій ключ OpenAI API","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Завдання в хмарі недоступні з ключем API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Завдання в хмарі недоступні з Copilot і ключем API","codex.loggedOut.signIn":"Увійти за допомогою ChatGPT","codex.loggedOut.signIn.cancel":"Скасувати вхід","codex.loggedOut.signInWithCopilot":"Увійти за допомогою GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Використати ключ API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} інструмент MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Викликано","codex.mcpTool.collapsedLabel.verb.calling":"Здійснюється виклик","codex.mcpTool.embeddedResource.contentLabel":"Уміст","codex.mcpTool.embeddedResource.mimeTypeLabel":"Тип MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Інструмент не повернув умісту","codex.mcpTool.rawPayloadHeading":"Необроблені дані виклику інструмента {server}.{tool}","codex.menu.recent":"Нещодавні","codex.menu.seeAllHistory":"Показати всю історію","codex.modelCapacityBanner.headline.noReset":"{modelName} зараз перевантажено. Повторіть спробу пізніше або розпочніть нову розмову з іншою моделлю.","codex.modelCapacityBanner.headline.withReset":"{modelName} зараз перевантажено. Повторіть спробу після {resetDate} або розпочніть нову розмову з іншою моделлю.","codex.modelCapacityBanner.title":"Вибрана модель перевантажена","codex.patch.change.contentsDeleted":"Уміст видалено","codex.patch.change.created":"Створено","codex.patch.change.created-file":"Файл створено","codex.patch.change.creating":"Створення","codex.patch.change.deleted":"Видалено","codex.patch.change.deleted-file":"Файл видалено","codex.patch.change.deleting":"Видалення","codex.patch.change.edited":"Відредаговано","codex.patch.change.edited-file":"Відредагований файл","codex.patch.change.editing":"Редагувати","codex.patch.change.noChanges":"Немає змін","codex.patch.change.rejected-add":"Відхилено","codex.patch.change.rejected-delete":"Відхилено","codex.patch.change.rejected-edit":"Відхилено","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Виконано завдань: {completed} з {total}","codex.plan.todoListCreated":"Створений список справ містить стільки завдань ({total})","codex.profileDropdown.apiKeyAuth":"Вхід виконано за допомогою ключа API","codex.profileDropdown.codexSettings":"Налаштування Codex","codex.profileDropdown.copilotAuth":"Вхід виконано за допомогою Copilot","codex.profileDropdown.defaultAccountTitle":"Обліковий запис за замовчуванням","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter для надсилання довгих запитів","codex.profileDropdown.enterBehaviorError":"Не вдалось оновити налаштування","codex.profileDropdown.getPlus":"Підвищте рівень плану, щоб отримати більші ліміти","codex.profileDropdown.keyboardShortcuts":"Сполучення клавіш","codex.profileDropdown.language":"Мова","codex.profileDropdown.languageDefault":"Автовизначення","codex.profileDropdown.languageSearchPlaceholder":"Шукати мови","codex.profileDropdown.languageUpdateError":"Не вдалось оновити мову","codex.profileDropdown.logOut":"Вийти","codex.profileDropdown.mcp":"Налаштування МСР","codex.profileDropdown.openConfigToml":"Відкрити config.toml","codex.profileDropdown.openConfigToml.wsl":"Відкрити config.toml у середовищі WSL","codex.profileDropdown.openExtensionSettings":"Відкрити налаштування","codex.profileDropdown.openMcpSettings":"Відкрити налаштування МСР","codex.profileDropdown.openOnStartup":"Відкрити при запуску","codex.profileDropdown.openOnStartupError":"Не вдалось оновити налаштування","codex.profileDropdown.openSkillsSettings":"Відкрити налаштування навичок","codex.profileDropdown.personalAccountTitle":"Особистий обліковий запис","codex.profileDropdown.queueFollowUps":"Помістити подальші дії в чергу","codex.profileDropdown.queueFollowUpsError":"Не вдалось оновити налаштування","codex.profileDropdown.readDocs":"Читати документи","codex.profileDropdown.readSkillsDocs":"Читати документи","codex.profileDropdown.runInWsl":"Виконати в WSL","codex.profileDropdown.runInWslError":"Не вдалось оновити налаштування","codex.profileDropdown.runInWslTooltip":"Codex запускається у WSL. Рекомендується для кращого захисту й вищої продуктивності ізольованого середовища.","codex.profileDropdown.settings":"Налаштування IDE","codex.profileDropdown.settingsPage":"Налаштування","codex.profileDropdown.signInWithOpenAI":"Увійти за допомогою ChatGPT","codex.profileDropdown.skills":"Налаштування навичок","codex.profileDropdown.switchToCopilotAccount":"Використати обліковий запис Copilot","codex.profileDropdown.switchToOpenAIAccount":"Використати обліковий запис OpenAI","codex.profileDropdown.todoCodelens":"Виправити коментарі TODO","codex.profileDropdown.todoCodelensError":"Не вдалось оновити налаштування","codex.profileDropdown.windowsDocumentation":"Документація для Windows","codex.profileFooter.signedInFallback":"Налаштування","codex.profileFooter.upgrade":"Підвищити рівень","codex.recentTasksMenu.clearSearch":"Очистити умови пошуку","codex.recentTasksMenu.cloud":"Хмарні завдання","codex.recentTasksMenu.count":"{count, plural, =0 {Не виконується жодне завдання} one {Виконується # завдання} few {Виконується # завдання} many {Виконується # завдань} other {Виконується # завдання}}","codex.recentTasksMenu.empty":"Поки немає ланцюжків","codex.recentTasksMenu.errorCloud":"Не вдалося завантажити завдання.","codex.recentTasksMenu.errorCloud.inline":"Не вдалося завантажити хмарні завдання.","codex.recentTasksMenu.filterAll":"Усі","codex.recentTasksMenu.filterCloudTasks":"Фільтрувати хмарні завдання","codex.recentTasksMenu.filterTooltip":"Фільтрувати завдання за середовищем","codex.recentTasksMenu.local":"Локальні завдання","codex.recentTasksMenu.recent":"Усі завдання","codex.recentTasksMenu.search":"Шукати нещодавні завдання","codex.recentTasksMenu.searchEmpty":"Немає результатів","codex.recentTasksMenu.tooltip":"Історія завдань","codex.recentTasksMenu.trigger":"Нещодавні завдання. {count, plural, one {# виконується} few {# виконуються} many {# виконуються} other {# виконуються}}","codex.remoteConversation.applyDiff.applyCta":"Застосувати зміни","codex.remoteConversation.applyDiff.dropdownTitle":"Застосувати зміни до локального розгалуження","codex.remoteConversation.applyDiff.revertCta":"Скасувати зміни","codex.remoteConversation.closeImagePreview":"Закрити попередній перегляд зображення","codex.remoteConversation.codexCloudTask":"Ви переглядаєте<u> хмарне завдання Codex</u>","codex.remoteConversation.errorWithMessage":"Помилка: {message}","codex.remoteConversation.loadingImage":"Завантаження зображення","codex.remoteConversation.openInWeb":"Відкрити на вебсторінці","codex.remoteConversation.streaming":"Розпочато","codex.remoteConversation.turnFailed":"Під час завантаження цього завдання сталася помилка","codex.remoteConversation.turnTab.loading":"Спроба {number}","codex.remoteConversation.turnTab.title":"Спроба {number}","codex.remoteConversation.userImageAttachment":"Вкладення користувача","codex.remoteConversation.viewPreviousTurns":"Відкрити на вебсторінці","codex.remoteConversation.viewPreviousTurns.buttonText":"Відкрити","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Відкрити на вебсторінці","codex.review.copyGitApplyCommand":"Копіювати команду git apply","codex.review.copyGitApplyCommand.toast":"Команду git apply скопійовано в буфер обміну","codex.review.diffTooLarge.description":"Ці відмінності занадто великі для відображення в режимі попереднього перегляду.","codex.review.diffTooLarge.title":"Відмінності завеликі для відображення","codex.review.expandOrCollapseDiffButton.collapse":"Згорнути всі відмінності","codex.review.expandOrCollapseDiffButton.expand":"Розгорнути всі відмінності","codex.review.expandOrCollapseDiffMenu.collapse":"Згорнути всі відмінності","codex.review.expandOrCollapseDiffMenu.expand":"Розгорнути всі відмінності","codex.review.fileSearch.clear":"Очистити фільтр файлів","codex.review.fileSearch.empty":"Немає файлів, що відповідають поточному фільтру.","codex.review.fileSearch.label":"Фільтрувати файли","codex.review.fileSearch.placeholder":"Фільтрувати файли…","codex.review.filesChanged":"{num, plural, =0 {Не змінено жодного файлу} one {Змінено # файл} few {Змінено # файлу} many {Змінено # файлу} other {Змінено # файлу}}","codex.review.find.loadMore":"Завантажити більше збігів","codex.review.fullReview.hideFileTree":"Приховати дерево файлів","codex.review.fullReview.showFileTree":"Показати дерево файлів","codex.review.header.moreOptions":"Параметри перегляду","codex.review.largeDiff.banner":"Виявлено великі відмінності — показується по одному файлу за раз.","codex.review.loadFullFiles.disable":"Не завантажувати файли повністю","codex.review.loadFullFiles.enable":"Завантажувати файли повністю","codex.review.noDiff":"Зміни файлів з’являтимуться тут","codex.review.noDiff.gitInit.createRepository":"Створити репозиторій Git","codex.review.noDiff.gitInit.creating":"Створення…","codex.review.noDiff.gitInit.error":"Не вдалося ініціалізувати Git: {message}","codex.review.noDiff.gitInit.success":"Репозиторій Git створено","codex.review.noDiff.gitRepoRequired.description":"Відстежуйте та скасовуйте зміни в цьому проєкті","codex.review.noDiff.gitRepoRequired.title":"Створити репозиторій Git","codex.review.noDiff.orNoLongerAvailable":"або останні відмінності вже недоступні","codex.review.noDiff.reverted":"Останній хід було скасовано","codex.review.noDiff.revertedOrCommitted":"Останній хід було скасовано або зафіксовано","codex.review.refreshGitQueries":"Оновити","codex.review.revert.file.error":"Не вдалося повернути {path} до попереднього стану","codex.review.revert.file.partialSuccess":"{path} частково повернуто до попереднього стану","codex.review.revert.file.success":"{path} повернуто до попереднього стану","codex.review.revert.hunk.error":"Не вдалося повернути до попереднього стану фрагмент {hunkNumber} у {path}","codex.review.revert.hunk.partialSuccess":"Фрагмент {hunkNumber} у {path} частково повернуто до попереднього стану","codex.review.revert.hunk.success":"Фрагмент {hunkNumber} у {path} повернуто до попереднього стану","codex.review.revert.section.error":"Не вдалося повернути розділ до попереднього стану","codex.review.revert.section.partialSuccess":"Розділ частково повернуто до попереднього стану","codex.review.revert.section.success":"Розділ повернуто до попереднього стану","codex.review.revertDialog.cancel":"Скасувати","codex.review.revertDialog.confirm":"Підтвердити","codex.review.revertDialog.message":"Виконання цієї дії призведе до видалення всіх змін.","codex.review.revertDialog.skip":"Більше не запитувати","codex.review.revertDialog.title":"Скасувати зміни?","codex.review.richPreview.disable":"Вимкнути розширений попередній перегляд","codex.review.richPreview.enable":"Увімкнути розширений попередній перегляд","codex.review.source.cloud":"Зміни в хмарі","codex.review.source.local.all":"Усі зміни розгалуження","codex.review.source.local.lastTurn":"Зміни під час останнього ходу","codex.review.source.local.uncommitted":"Незастосовані зміни","codex.review.source.worktree":"Незафіксовані зміни в робочому дереві","codex.review.stageFilter.empty.staged.description":"Прийняти зміни для подальшого застосування","codex.review.stageFilter.empty.staged.title":"Немає підготованих змін","codex.review.stageFilter.empty.unstaged.description":"Зміни коду з’являться тут","codex.review.stageFilter.empty.unstaged.title":"Немає непідготованих змін","codex.review.stageFilter.staged":"Підготовані","codex.review.stageFilter.staged.count":"Підготовані · {count}","codex.review.stageFilter.unstaged":"Непідготовані","codex.review.stageFilter.unstaged.count":"Непідготовані · {count}","codex.review.switchToSplit":"Показати усереднені відмінності","codex.review.switchToUnified":"Показати об’єднані відмінності","codex.review.toggleDiffView":"Змінити формат відображення відмінностей","codex.review.wordDiffs.disable":"Вимкнути відмінності між словами","codex.review.wordDiffs.enable":"Увімкнути відмінності між словами","codex.review.wrap.disable":"Вимкнути перенесення рядків","codex.review.wrap.enable":"Увімкнути перенесення рядків","codex.section.patch.missing":"Не вдалося створити виправлення для цього розділу.","codex.shell.collapse":"Згорнути програмну оболонку","codex.shell.commandLine":"{command} дол. США","codex.shell.copy.copiedTooltip":"Скопійовано вміст програмної оболонки","codex.shell.copy.copyTooltip":"Копіювати вміст програмної оболонки","codex.shell.copyCommand":"Копіювати команду","codex.shell.copyOutput":"Копіювати результат","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Розгорнути програмну оболонку","codex.shell.name":"Програмна оболонка","codex.shell.noOutput":"Немає результату","codex.signInFailed.message":"Помилка входу: {rawMessage}","codex.stories.toast.show":"Показати спливне сповіщення","codex.stories.tooltip.basic":"Це підказка","codex.stories.tooltip.hoverMe":"Наведи курсор на мене","codex.stories.tooltip.largerOffset":"Ця підказка має більший відступ","codex.stories.tooltip.offsetButton":"Більший відступ","codex.stories.tooltip.shortcutButton":"Зі сполученням клавіш","codex.stories.tooltip.withShortcut":"Увімкнути/вимкнути термінал","codex.taskRow.title":"Новий ланцюжок","codex.taskRowLayout.confirm":"Підтвердити","codex.threadFindBar.chatFilter":"Шукати в чаті","codex.threadFindBar.close":"Закрити пошук","codex.threadFindBar.diffFilter":"Шукати відмінності","codex.threadFindBar.label":"Знайти в ланцюжку","codex.threadFindBar.nextResult":"Наступний результат","codex.threadFindBar.noResults":"0 результатів","codex.threadFindBar.placeholder":"Шукати в ланцюжку…","codex.threadFindBar.placeholder.extension":"Шукати в ланцюжку…","codex.threadFindBar.placeholder.review":"Шукати відмінність…","codex.threadFindBar.placeholder.review.extension":"Шукати відмінність…","codex.threadFindBar.previousResult":"Попередній результат","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {Змінено # файл} few {Змінено # файли} many {Змінено # файлів} other {Змінено # файлу}}","codex.unifiedDiff.inlineLargeFile":"Занадто великий для вбудованого відображення","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Скасувати дію","codex.unifiedDiff.revertPatchError":"Не вдалося скасувати зміни","codex.unifiedDiff.revertPatchSuccess":"Зміни скасовано","codex.unifiedDiff.reviewChangesSuffix":"зміни","codex.unifiedDiff.reviewShort":"Переглянути","codex.unifiedDiff.viewDiffTooltip":"Відгук","codex.upsellBanner.business.headline":"Щоб отримати доступ зараз, надішліть запит своєму адміністратору або зачекайте до {resetDate}.","codex.upsellBanner.cbp.headline":"Щоб отримати доступ зараз, надішліть запит своєму адміністратору.","codex.upsellBanner.cta.addCredits":"Додати кредити","codex.upsellBanner.cta.upgradeAccount":"Підвищити рівень","codex.upsellBanner.cta.viewUsage":"Переглянути дані про використання","codex.upsellBanner.free.trialHeadline":"Ліміт запитів буде скинуто {resetDate}. Щоб і надалі користуватися Codex і отримати доступ до GPT-5.3 Codex, розпочніть безкоштовну пробну версію Plus уже сьогодні.","codex.upsellBanner.freeOrGo.headline":"Ліміт запитів буде скинуто {resetDate}. Щоб продовжити користування Codex, підвищте рівень плану до Plus уже сьогодні.","codex.upsellBanner.general.headline":"Ліміт запитів буде скинуто {resetDate}.","codex.upsellBanner.general.title":"Ви вичерпали ліміт на повідомлення Codex","codex.upsellBanner.go.trialHeadline":"Ваш ліміт буде скинуто {resetDate}. Щоб і далі користуватися Codex, почніть безкоштовний пробний період Plus уже сьогодні.","codex.upsellBanner.plus.headline":"Ліміт запитів буде скинуто {resetDate}. Щоб продовжити користування Codex, додайте кредити або підвищте рівень плану до Pro вже сьогодні.","codex.upsellBanner.pro.headline":"Ліміт запитів буде скинуто {resetDate}. Додайте кредити, щоб продовжити користування Codex уже зараз.","codex.userMessage.autoResolveSync":"Автоматично усунути конфлікти","codex.userMessage.commentCount":"{count, plural, one {# коментар} few {# коментарів} many {# коментарів} other {# коментарів}}","codex.userMessage.copiedAriaLabel":"Скопійовано","codex.userMessage.copiedTooltip":"Скопійовано","codex.userMessage.copyAriaLabel":"Копіювати повідомлення","codex.userMessage.copyTooltip":"Копіювати","codex.userMessage.implementPlan":"Реалізувати план","codex.userMessage.noContent":"(Немає вмісту)","codex.userMessage.priorConversation":"Посилається на попередню розмову","codex.userMessage.reviewMode":"Режим перевірки","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"для {query}","codex.webSearch.summary.verb.completed":"Виконано пошук в інтернеті","codex.webSearch.summary.verb.inProgress":"Виконується пошук в інтернеті","codex.windowsInstallWslBanner.dismiss":"Відхилити","codex.windowsInstallWslBanner.installWslCta":"Увімкнути пісочницю","codex.windowsInstallWslBanner.learnMore":"Докладніше","codex.windowsSandboxBanner.content":"У режимі агента застосовується експериментальна пісочниця у Windows, щоб обмежити доступ до файлової системи й мережі. {sandboxLink}","codex.windowsSandboxBanner.title":"Увімкнути пісочницю для режиму агента","codex.windowsSubDropdown.windowsSandbox":"Пісочниця Windows ","codex.windowsSubDropdown.windowsSettings":"Налаштування Windows","codexUpgradeModal.body":"Наша найновіша модель-агент для створення коду — розумніша, швидша й потужніша для загальних технічних завдань: {link}","codexUpgradeModal.close":"Закрити","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Докладніше","codexUpgradeModal.title":"Представляємо GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Спробуйте GPT-5.3 Codex зараз","codexUpgradeModal.useExistingModel":"Використовувати поточну модель","commentAttachments.numComments":"{count, plural, one {# коментар} few {# коментарі} many {# коментарів} other {# коментаря}}","commentAttachments.removeAriaLabel":"Видалити вкладення до коментаря","common.close":"Закрити","composer.addContext.openFilePickerError":"Не вдалося відкрити засіб вибору файлів","composer.addContextDropdown.ariaLabel":"Додавайте файли й виконуйте інші дії","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Додавайте файли й виконуйте інші дії","composer.addPhotosAndFiles":"Додати світлини та файли","composer.atMentionList.emptyQuery":"Уведіть запит для пошуку файлів","composer.atMentionList.loading":"Триває пошук…","composer.atMentionList.noResults":"Немає результатів","composer.attemptsSelector.option":"{count, plural, one {# версія} few {# версії} many {# версій} other {# версії}}","composer.attemptsSelector.tooltip":"Кількість одночасних спроб Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Зупинити","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Локально","composer.cloudFollowUp.whereRun":"Де має виконуватися цей додатковий запит?","composer.cloudTaskCreationError":"Помилка під час створення хмарного завдання","composer.cloudTaskError":"Помилка створення завдання","composer.contextWindow.autoCompactionTooltipLine1":"Codex автоматично стискає контекст","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Контекстне вікно:","composer.contextWindowUsageStatusFull":"Заповнено на {usage} %","composer.contextWindowUsageStatusLeft":"Використано {usage} % (залишилося {remaining} %)","composer.contextWindowUsageTooltip":"Використано токенів: {usedTokens}000 з {contextWindow}000","composer.customCliTooltip":"Використовується спеціальний виконуваний файл CLI","composer.dictation.aria":"Диктувати","composer.dictation.cancel.aria":"Зупинити диктування","composer.dictation.cancel.tooltip":"Зупинити диктування","composer.dictation.startError":"Не вдалося розпочати диктування","composer.dictation.submit.aria":"Транскрибувати й надіслати","composer.dictation.submit.tooltip":"Транскрибувати й надіслати","composer.dictation.tooltip":"Утримуйте, щоб диктувати","composer.dictation.transcribeError":"Не вдалося транскрибувати аудіо","composer.dictation.unsupported":"Диктування недоступне на цьому пристрої","composer.dropOverlay.holdShift":"Утримуйте {key}, щоб перетягнути","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Створити нове","composer.environmentSelector.error":"Помилка завантаження середовищ","composer.environmentSelector.goBack":"Повернутися в компонувальник","composer.environmentSelector.title":"Виберіть середовище","composer.environmentSelector.tooltip":"Виберіть хмарне середовище","composer.feedbackSlashCommand.title":"Відгук","composer.filePicker.selectFile":"Вибір файлу","composer.filePicker.selectFiles":"Вибір файлів","composer.followerTooltip":"Щоб продовжити, поверніться у вікно, де почалася ця розмова.","composer.footer.branchSwitch.checkoutError":"Не вдалося перемкнути гілку: {message}","composer.footer.branchSwitch.createAndCheckout":"Створити й перейти до нової гілки…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Зафіксуйте зміни, щоб створити нову гілку й перейти до неї","composer.footer.branchSwitch.createBranchError":"Не вдалося створити гілку: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Назва розгалуження","composer.footer.branchSwitch.createDialog.branchExistsError":"Гілка вже існує","composer.footer.branchSwitch.createDialog.close":"Закрити","composer.footer.branchSwitch.createDialog.createAndCheckout":"Створити та перейти","composer.footer.branchSwitch.createDialog.placeholder":"нова гілка","composer.footer.branchSwitch.createDialog.title":"Створити та перейти до гілки","composer.footer.branchSwitch.createDialog.trailingSlashError":"Назва гілки не може закінчуватися символом «/».","composer.footer.branchSwitch.tooltip":"Перемкнути гілку","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Зафіксувати зміни в {fileCount, plural, one {# файл} few {# файли} many {# файли} other {# файли}}, щоб узяти на редагування гілку {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Зафіксувати","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"зміни в {fileCount, plural, one {# файл} few {# файли} many {# файли} other {# файли}}, щоб узяти на редагування гілку {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Скасувати","composer.footer.branchSwitch.uncommittedDialog.commit":"Зафіксувати зміни й перемкнути гілку…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Унаслідок установлення контролю ваші зміни в цих файлах буде перезаписано:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Зафіксуйте свої зміни, щоб продовжити","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"вибрану гілку","composer.footer.branchSwitch.uncommittedDialog.title":"Зафіксуйте зміни, щоб перемкнути гілку","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Незафіксовані зміни: {fileCount, plural, one {# файл} few {# файли} many {# файли} other {# файли}}","composer.forkSlashCommand.description":"Створити форк цього ланцюжка локально або в новому робочому дереві","composer.forkSlashCommand.option.local.description":"Продовжити в новому локальному ланцюжку","composer.forkSlashCommand.option.local.title":"Створити форк локально","composer.forkSlashCommand.option.worktree.description":"Продовжити в новому робочому дереві","composer.forkSlashCommand.option.worktree.title":"Створити форк у новому робочому дереві","composer.forkSlashCommand.title":"Створити розгалуження","composer.ideContextIndicator":"Контекст IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Додати контекст з IDE","composer.ideContextIndicator.tooltipToggle":"для перемикання","composer.ideContextSlashCommand.disableDescription":"Вимкнути контекст IDE","composer.ideContextSlashCommand.enableDescription":"Додати поточне виділення, відкриті файли та інший контекст із вашої IDE","composer.ideContextSlashCommand.title":"Контекст IDE","composer.imageInputsUnsupported":"Ця модель не підтримує введення зображень. Спробуйте іншу модель.","composer.imageUploadFailed":"Не вдалося передати зображення","composer.includeIdeContextDropdown":"Додати контекст IDE","composer.includeIdeContextDropdown.ariaLabel":"Додати контекст IDE","composer.localCwdDropdown.addWorkspaceRoot":"Додати новий проєкт","composer.localCwdDropdown.noActiveRoot":"Виберіть свій проєкт","composer.localCwdDropdown.noResults":"Не знайдено папок","composer.localCwdDropdown.title":"Виберіть свій проєкт","composer.localTaskError":"Помилка під час запуску розмови","composer.mcpSlashCommand.description":"Показати стан сервера MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Не автентифіковано","composer.mcpStatus.authOauth":"Автентифіковано (OAuth)","composer.mcpStatus.authToken":"Автентифіковано (ключ API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Закрити","composer.mcpStatus.disabled":"Вимкнено","composer.mcpStatus.emptyLabel":"Сервери:","composer.mcpStatus.emptyValue":"Сервери MCP не налаштовано","composer.mcpStatus.enabled":"Увімкнено","composer.mcpStatus.errorLabel":"Стан:","composer.mcpStatus.errorValue":"Не вдалося завантажити стан MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Змінити режим","composer.mode.agentMode.custom":"Користувацький","composer.mode.agentMode.custom.dropdownLabel":"Користувацький","composer.mode.agentMode.custom.option":"Користувацький (config.toml)","composer.mode.agentMode.custom.optionLabel":"Користувацький (config.toml)","composer.mode.agentMode.customInfo.cancel":"Скасувати","composer.mode.agentMode.customInfo.cli":"Ви можете налаштувати ці параметри через CLI або безпосередньо у файлі.","composer.mode.agentMode.customInfo.confirm":"Використовувати користувацький режим","composer.mode.agentMode.customInfo.description":"У користувацькому режимі застосовуються правила підтвердження й ізоляції, визначені у вашому <link>файлі</link> config.toml.","composer.mode.agentMode.customInfo.docs":"Докладніше про налаштування правил підтвердження й ізоляції читайте в <link>документації середовища виконання</link>.","composer.mode.agentMode.customInfo.refresh":"Усі зміни набирають чинності під час наступного запуску агента.","composer.mode.agentMode.customInfo.title":"Як працює користувацький режим","composer.mode.agentMode.fullAccess":"Агент (повний доступ)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (повний доступ)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (повний доступ)","composer.mode.agentMode.fullAccessConfirm.caution":"Будьте обережні, вмикаючи повний доступ. Це значно підвищує ризик втрати й витоку даних, а також непередбачуваної поведінки.","composer.mode.agentMode.fullAccessConfirm.confirm":"Так, усе одно продовжити","composer.mode.agentMode.fullAccessConfirm.description":"У режимі повного доступу Codex може редагувати всі файли на вашому комп’ютері та виконувати мережеві команди без вашого підтвердження.","composer.mode.agentMode.fullAccessConfirm.goBack":"Скасувати","composer.mode.agentMode.fullAccessConfirm.title":"Увімкнути повний доступ?","composer.mode.agentMode.readOnly":"Чат","composer.mode.agentMode.readOnly.dropdownLabel":"Чат","composer.mode.agentMode.readOnly.optionLabel":"Чат","composer.mode.agentMode.tooltip":"Змінити режим","composer.mode.agentMode.tooltip.auto":"Читання й редагування файлів, виконання команд.","composer.mode.agentMode.tooltip.custom":"Використання актуальних правил підтвердження й ізоляції, визначених у файлі config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex може редагувати файли поза межами проєкту та виконувати команди з доступом до мережі. Користуйтеся з обережністю.","composer.mode.agentMode.tooltip.readOnly":"Потрібен дозвіл на редагування файлів і виконання команд.","composer.mode.cloud.tooltip":"Працюйте в хмарному середовищі","composer.mode.contactAdmin":"Для розширення доступу зверніться до адміністратора","composer.mode.local":"Локально","composer.mode.local.learnMore":"Докладніше","composer.mode.local.model.custom":"Користувацький","composer.mode.local.model.loadingModel":"Завантаження моделі","composer.mode.local.model.selecrReasoningEffort":"Виберіть аргументацію","composer.mode.local.model.selectModel":"Виберіть модель","composer.mode.local.model.tooltip":"Виберіть модель","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Високий рівень","composer.mode.local.reasoning.low.label":"Низький рівень","composer.mode.local.reasoning.medium.label":"Середній рівень","composer.mode.local.reasoning.minimal.label":"Мінімальний рівень","composer.mode.local.reasoning.none.label":"Немає","composer.mode.local.reasoning.xhigh.label":"Дуже детальна","composer.mode.localRemoteWhereRun":"Виберіть, де запускати завдання","composer.mode.newTask.header":"Продовжити в","composer.mode.rateLimit.day":"{days} дн","composer.mode.rateLimit.heading":"Залишок у межах ліміту","composer.mode.rateLimit.hour":"{hours} год","composer.mode.rateLimit.minute":"{minutes} хв","composer.mode.rateLimit.modelSectionLabel":"Ліміт {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {тижневий ліміт} few {ліміт на {weeks} тижні} many {ліміт на {weeks} тижнів} other {ліміт на {weeks} тижня}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Щотижня} few {{weeks} тижні} many {{weeks} тижнів} other {{weeks} тижня}}","composer.mode.remote.connectToCloud":"Підключити Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Налаштуйте середовище в Codex Web, щоб надсилати завдання в хмару","composer.mode.remote.selectEnvironment":"Виберіть середовище","composer.mode.remote.sendToCloud":"Надіслати в хмару","composer.mode.remote.setupViaWeb":"Налаштувати середовище в Codex Web","composer.mode.runInCloud":"Хмара","composer.mode.runInCloudWithEnvironment":"Хмара · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Працюйте в хмарному середовищі","composer.mode.segmentedToggle.local.tooltip":"Працювати з локальним проєктом","composer.mode.segmentedToggle.worktree.tooltip":"Працюйте в паралельному робочому дереві","composer.mode.upgradeToPlus":"Підвищити рівень до Plus","composer.mode.upgradeToPro":"Підвищити рівень до Pro","composer.mode.workLocally":"Локальний проєкт","composer.mode.workLocally.currentBranchFallback":"вашого розгалуження","composer.mode.workLocally.tooltip":"Працюйте в {branchName}","composer.mode.worktree":"Нове робоче дерево","composer.mode.worktree.submoduleWarning":"Цей репозиторій містить підмодулі Git. Створення робочого дерева може не вдатися","composer.mode.worktree.tooltip":"Створіть копію локального проєкту для паралельної роботи","composer.mode.worktreeSegment":"Робоче дерево","composer.modelChangeDuringConversationWarning.toast":"Зміна моделі під час розмови може погіршити продуктивність.","composer.newChat.heading.browser":"Для чого треба написати програмний код?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex використовує дозвіл, визначений у файлі config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex має повний доступ до вашого комп’ютера (підвищений ризик)","composer.permissionsDropdown.custom.label":"Користувацький (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Користувацький (config.toml)","composer.permissionsDropdown.default.label":"Дозволи за замовчуванням","composer.permissionsDropdown.default.optionLabel":"Дозволи за замовчуванням","composer.permissionsDropdown.default.tooltip":"Codex автоматично виконує команди в ізольованому середовищі","composer.permissionsDropdown.disabled.requirements":"Дозволи заблоковано файлом requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Повний доступ вимкнено файлом requirements.toml","composer.permissionsDropdown.fullAccess.label":"Повний доступ","composer.permissionsDropdown.fullAccess.optionLabel":"Повний доступ","composer.permissionsDropdown.trigger.tooltip":"Змінити дозволи","composer.personalitySlashCommand.description.friendly":"Доброзичливий, орієнтований на співпрацю та корисний","composer.personalitySlashCommand.description.pragmatic":"Лаконічний, орієнтований на завдання та прямий","composer.personalitySlashCommand.label.friendly":"Привітний","composer.personalitySlashCommand.label.pragmatic":"Прагматичний","composer.personalitySlashCommand.notApplicableSuffix":"(Не застосовується до поточної моделі)","composer.personalitySlashCommand.title":"Особистість","composer.placeholder.cloudFollowUp.directFollowUp":"Продовження цього хмарного завдання","composer.placeholder.cloudFollowUp.local":"Створіть нове локальне завдання, яке посилається на це хмарне завдання","composer.placeholder.cloudFollowUp.workingTree":"Створіть нове хмарне завдання, яке містить поточний код і буде посилатися на це завдання","composer.placeholder.localFollowUp.cloud":"Продовження в новому хмарному завданні","composer.placeholder.localFollowUp.locally":"Попросіть внести додаткові зміни","composer.placeholder.newTask.cloud":"Попросіть Codex зробити будь-що в хмарі","composer.placeholder.newTask.doAnything":"Попросіть Codex зробити будь-що","composer.placeholder.newTask.locally":"Запитайте Codex про що завгодно; @ — щоб додати файли, / — для команд","composer.planModeDropdown":"Режим планування","composer.planModeDropdown.ariaLabel":"Режим планування","composer.planModeIndicator":"План","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Створити план за допомогою Codex","composer.planModeIndicator.tooltipToggle":"для перемикання","composer.planSlashCommand.disableDescription":"Вимкнути режим планування","composer.planSlashCommand.enableDescription":"Увімкнути режим планування","composer.planSlashCommand.title":"Режим планування","composer.priorContext.label":"Попередній контекст","composer.priorContext.removeAriaLabel":"Видалити попередній контекст","composer.queuedMessage.delete":"Видалити повідомлення з черги","composer.queuedMessage.edit":"Редагувати повідомлення","composer.queuedMessage.more":"Дії з повідомленням у черзі","composer.queuedMessage.sendNow":"Керування виконанням","composer.queuedMessage.sendNowTooltip":"Надіслати зараз без переривання роботи","composer.queuedMessage.turnOff":"Вимкнути чергу","composer.reasoningEffort.local.reasoning.tooltip":"Виберіть інтенсивність аргументування","composer.remote.branchStartingPoint":"З якої гілки слід почати це завдання?","composer.remote.branchesSectionHeading":"Розгалуження","composer.remote.currentEditsSuffix.followUp":"Створіть нове завдання, яке посилається на це хмарне завдання.","composer.remote.currentEditsSuffix.useLocal":"з локальними змінами коду","composer.remote.directFollowUp":"Не використовувати локальні зміни","composer.remote.errorLoadingBranches":"Помилка завантаження розгалужень","composer.remote.fromBranch":"Із {branch}","composer.remote.fromCurrentBranch":"Із розгалуження {branch} (поточне)","composer.remote.loadingMoreBranches":"Завантаження…","composer.remote.localFileStateHeading":"Стан локального файлу","composer.remote.localWorkingTree":"Використовувати локальні зміни","composer.remote.startingPoint":"З якого коду має починати це завдання?","composer.reviewMode.branches.error":"Не вдалося завантажити розгалуження","composer.reviewMode.branches.retry":"Повторити спробу","composer.reviewMode.gitRoot.error":"Кореневий каталог Git не знайдено","composer.reviewMode.option.baseBranch.simple":"Порівняти з базовим розгалуженням","composer.reviewMode.option.unstaged.simple":"Перевірити незастосовані зміни","composer.reviewMode.quickReviewError":"Не вдалося запустити перевірку коду.","composer.reviewMode.title":"Перевірка коду","composer.sandboxButton.unlock.disabled.tooltip":"Повний доступ вимкнено файлом requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex може використовувати експериментальну «пісочницю» у Windows, щоб обмежити доступ до файлової системи та мережі. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Увімкнути пісочницю Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Використовувати лише для читання","composer.searchEnvironments":"Пошук середовищ","composer.skillMentionList.app":"Програма","composer.skillMentionList.loading":"Завантаження навичок…","composer.skillMentionList.noResults":"Не знайдено жодної навички","composer.slashCommands.cloudEnvironment.title":"Хмарне середовище","composer.slashCommands.dialogLabel":"Меню слеш-команд","composer.slashCommands.dialogTitle":"Слеш-команди","composer.slashCommands.disabledTooltip":"Розпочніть нову розмову, щоб використовувати слеш-команди","composer.slashCommands.inputPlaceholder":"Шукати","composer.slashCommands.noResults":"Немає команд","composer.slashCommands.skillsGroup":"Навички","composer.slashCommands.tooltip":"Перегляньте слеш-команди","composer.status.close":"Закрити","composer.statusPlain.alertLabel":"Сповіщення:","composer.statusPlain.alertValue":"{remaining} % залишилося в {window}","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count}000","composer.statusPlain.contextValueMetadata":"(використано {used}/{total})","composer.statusPlain.contextValueRemaining":"Залишилося {remaining} %","composer.statusPlain.heading":"Стан","composer.statusPlain.modelRateLimitSectionLabel":"Ліміт {modelName}:","composer.statusPlain.rateLimitDays":"Ліміт {count} дн","composer.statusPlain.rateLimitFallbackLabel":"Ліміт на використання:","composer.statusPlain.rateLimitHours":"Ліміт {count} год","composer.statusPlain.rateLimitLabelBase":"Ліміт на використання","composer.statusPlain.rateLimitMinutes":"Ліміт {count} хв","composer.statusPlain.rateLimitPercent":"Залишилося {remaining} %","composer.statusPlain.rateLimitReset":"буде скинуто о {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"час скидання невідомий","composer.statusPlain.rateLimitUnavailable":"Недоступно","composer.statusPlain.sessionCopiedAriaLabel":"Ідентифікатор сеансу скопійовано","composer.statusPlain.sessionCopiedTooltip":"Ідентифікатор скопійовано","composer.statusPlain.sessionCopyAriaLabel":"Копіювати ідентифікатор сеансу","composer.statusPlain.sessionCopyTooltip":"Копіювати ідентифікатор","composer.statusPlain.sessionLabel":"Сеанс:","composer.statusSlashCommand.description":"Показати ідентифікатор ланцюжка, використання контексту та ліміти на використання","composer.statusSlashCommand.title":"Стан","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Не вдалося надіслати повідомлення","composer.submit.emptyMessage":"Уведіть повідомлення, щоб розпочати","composer.submit.imageInputsUnsupported":"Вилучіть зображення або змініть модель, щоб надіслати це повідомлення.","composer.submit.loadingLocalConfig":"Завантаження…","composer.submit.missingCloudConfig":"Необхідно вибрати хмарне середовище","composer.submit.missingCloudTurn":"Не вдалося продовжити це завдання","composer.submit.noWorkspace":"Додайте проєкт, щоб використовувати Codex","composer.submit.waitForImageUploads":"Передавання зображень…","composer.submitButtonTooltip.send":"Надіслати","composer.submitButtonTooltip.stop":"Зупинити","composer.worktreeEnvironment.create":"Створити локальне середовище","composer.worktreeEnvironment.default":"Середовище за замовчуванням","composer.worktreeEnvironment.error":"Помилка завантаження середовищ","composer.worktreeEnvironment.loading":"Завантаження середовищ…","composer.worktreeEnvironment.title":"Локальне середовище","composer.worktreeEnvironment.tooltip":"Виберіть локальне середовище","composer.worktreeSetupFailed":"Не вдалося налаштувати робоче дерево. Перевірте сценарій налаштування в .codex/environments.","compoundButton.secondaryAction":"Додаткова дія","copyButton.copied":"Скопійовано","copyButton.copiedAriaLabel":"Скопійовано","copyButton.copy":"Копіювати","copyButton.copyAriaLabel":"Копіювати","copyButton.copyCode":"Копіювати код","diff.actionButton.revertFile":"Повернути файл до попереднього стану","diff.actionButton.revertHunk":"Повернути до попереднього стану","diff.actionButton.revertSection":"Повернути все до попереднього стану","diff.actionButton.revertSectionLabel":"Повернути все до попереднього стану","diff.actionButton.stageFile":"Підготувати файл","diff.actionButton.stageHunk":"Індексувати","diff.actionButton.stageSection":"Підготувати все","diff.actionButton.stageSectionLabel":"Підготувати все","diff.actionButton.unstageFile":"Скасувати підготовку файлу","diff.actionButton.unstageHunk":"Скасувати індексацію","diff.actionButton.unstageSection":"Скасувати підготовку всього","diff.actionButton.unstageSectionLabel":"Скасувати підготовку всього","diff.fileHeader.toggle":"Показати / приховати відмінність файлів","electron.onboarding.login.apikey.cancel":"Скасувати","electron.onboarding.login.apikey.continue":"Продовжити","electron.onboarding.login.apikey.label":"Ключ OpenAI API","electron.onboarding.login.apikey.open":"Уведіть ключ API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Скасувати вхід","electron.onboarding.login.chatgpt.continue":"Увійти за допомогою ChatGPT","electron.onboarding.login.devbox":"Підключитися до віддаленого SSH","electron.onboarding.login.error":"Помилка входу: {rawMessage}","electron.onboarding.login.snake.start":"Зіграти в «Змійку»","electron.onboarding.login.sshConfig.cancel":"Скасувати","electron.onboarding.login.sshConfig.continue":"Продовжити","electron.onboarding.login.sshConfig.hostnameLabel":"Ім’я хоста SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Найкращий спосіб створення рішень з агентами","electron.onboarding.login.title":"Ласкаво просимо до Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Продовжити","electron.onboarding.welcome.doubleLimits.description":"На честь запуску програми Codex до 2 квітня для вас діє подвоєний ліміт запитів.","electron.onboarding.welcome.freego.description":"Codex безкоштовно включено до вашого тарифу до 2 березня — почнімо створювати разом.","electron.onboarding.welcome.new.title.anon":"Вітаємо!","electron.onboarding.workspace.continue":"Продовжити","electron.onboarding.workspace.empty":"Додайте проєкт, щоб продовжити.","electron.onboarding.workspace.listLabel":"Доступні проєкти","electron.onboarding.workspace.loading":"Завантаження проєктів…","electron.onboarding.workspace.openFolder":"Додати проєкт","electron.onboarding.workspace.selectAll":"Вибрати все","electron.onboarding.workspace.skip":"Пропустити","electron.onboarding.workspace.skip.error":"Не вдалося створити новий проєкт. {message}","electron.onboarding.workspace.skip.error.unknown":"Невідома помилка","electron.onboarding.workspace.skipping":"Створення нового проєкту…","electron.onboarding.workspace.subtitle":"Codex зможе редагувати файли та виконувати команди у вибраних папках.","electron.onboarding.workspace.title":"Виберіть проєкт","errorPage.list.checkSettings":"Спробуйте оновити налаштування IDE","errorPage.list.configToml":"Перевірте файл config.toml на наявність неправильних налаштувань","errorPage.list.downloadExtension":"Спробуйте завантажити іншу версію розширення","errorPage.list.runInWsl":"Якщо виникають проблеми сумісності, вимкніть запуск у WSL","execApprovalRequest.menu.runAlways":"Так, і більше не запитувати в цьому сеансі","execApprovalRequest.menu.runAlwaysWithAmendment":"Так, і більше не запитувати для команд, що починаються з {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Так, і більше не запитувати для команд, що починаються з","execApprovalRequest.menu.runOnce":"Так","execApprovalRequest.prompt":"Виконати цю команду?","execApprovalRequest.reject":"Ні","execFooter.exitCode":"Код виходу {code}","execFooter.exitCode.unknown":"невідомий","execFooter.success":"Виконано","feedback.dialog.category.badResult":"Поганий результат","feedback.dialog.category.bug":"Помилка","feedback.dialog.category.goodResult":"Хороший результат","feedback.dialog.category.other":"Інше","feedback.dialog.descriptionPlaceholder":"Опишіть проблему тут","feedback.dialog.dismiss":"Відхилити","feedback.dialog.includeLogsLabel":"Додати журнали поточного сеансу Codex","feedback.dialog.submit":"Надіслати","feedback.dialog.submitError":"Не вдалося надіслати ваш відгук. Спробуйте трохи пізніше.","feedback.dialog.title":"Відгук","feedback.dialog.uploadedMessage.existingIssue":"наявну відкриту проблему","feedback.dialog.uploadedMessage.openIssue":"відкрийте проблему GitHub","feedback.dialog.uploadedMessage.withThread":"Відгук передано. Якщо проблема продовжує виникати, {openIssueLink} або додайте ідентифікатор ланцюжка в {existingIssueLink}.","feedback.dialog.uploadedTitle":"Відгук передано","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Вилучити {filename}","header.back":"Назад","header.recentChats":"Завдання","header.recentTasks.seeAll":"Переглянути всі ({total})","home.header.getPlus":"Отримати версію Plus","home.hero.letsBuild":"Давайте створювати","homePage.mainContent":"Основний уміст","imageAttachment.defaultName":"зображення","imageAttachment.preview.close":"Закрити попередній перегляд зображення","imageAttachment.removeAriaLabel":"Вилучити {filename}","implementPlanRequest.option.implement":"Так, реалізувати цей план","implementPlanRequest.prompt":"Реалізувати цей план?","inbox.archived.deleteError":"Не вдалося видалити архівований запуск","inbox.archived.deleteRun":"Видалити архівований запуск","inbox.archived.deleteSuccess":"Архівований ланцюжок видалено. Переглянути в <settingsLink>архівованих ланцюжках</settingsLink>.","inbox.archived.inlineLabel.auto":"Цей ланцюжок було автоматично заархівовано. <learnMoreLink>Докладніше</learnMoreLink>.","inbox.archived.inlineLabel.manual":"Цей ланцюжок заархівовано.","inbox.archived.noMessageFound":"Повідомлень не знайдено","inbox.automations.createError":"Не вдалося створити автоматизацію","inbox.automations.deleteConfirm.cancel":"Скасувати","inbox.automations.deleteConfirm.confirm":"Видалити автоматизацію","inbox.automations.deleteConfirm.description":"Автоматизацію буде остаточно видалено, а всі майбутні запуски — зупинено.","inbox.automations.deleteConfirm.title":"Видалити {name}?","inbox.automations.deleteError":"Не вдалося видалити автоматизацію","inbox.automations.editTooltip":"Редагувати автоматизацію","inbox.automations.inProgress":"Виконується","inbox.automations.new":"Новий","inbox.automations.newToolbar":"Нова автоматизація","inbox.automations.pauseTooltip":"Призупинити автоматизацію","inbox.automations.resumeTooltip":"Відновити автоматизацію","inbox.automations.startingNow":"Починаємо зараз","inbox.automations.startsIn":"Починається о {startTime}","inbox.automations.status.active":"Активно","inbox.automations.status.paused":"Призупинено","inbox.automations.status.runs":"Запусків: {count}","inbox.automations.status.started":"Розпочато {date}","inbox.automations.updateError":"Не вдалося оновити автоматизацію","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Усі","inbox.filter.ariaLabel":"Фільтрувати вхідні","inbox.filter.unread":"Непрочитані","inbox.list.archived":"Заархівовані","inbox.list.inProgress":"Виконується","inbox.list.recent":"Завершено","inbox.list.upNext":"Заплановано","inbox.mode.automations":"Автоматизації","inbox.mode.automations.beta":"Бета-версія","inbox.noDescription":"Опис не надано","inbox.openThread":"Відкрити ланцюжок","inbox.rightPanel.emptySubtitle":"Автоматизуйте роботу, налаштувавши заплановані завдання","inbox.rightPanel.emptySubtitle.learnMore":"Автоматизуйте роботу, налаштувавши заплановані ланцюжки.<link>Докладніше</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# активна автоматизація} few {# активні автоматизація} many {# активних автоматизацій} other {# активної автоматизації}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Немає непрочитаних автоматизацій","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# непрочитана автоматизація} few {# непрочитані автоматизації} many {# непрочитаних автоматизацій} other {# непрочитаної автоматизації}}","inbox.rightPanel.emptyTitle":"Немає вибраних елементів","inbox.rightPanel.noThread":"Для цього елемента немає ланцюжка","inbox.rightPanel.quickStart.header":"Почніть із шаблону","inbox.untitled":"Елемент вхідних без назви","loadingPage.documentationLink":"документації","loadingPage.errorDescription":"Аварійно завершено роботу Codex через таку помилку:","loadingPage.errorDescription.documentation":"Натисніть «Перезавантажити», щоб перезапустити розширення Codex, або шукайте додаткову інформацію в {documentationLink}.","loadingPage.errorSignal":"Що варто спробувати:","loadingPage.errorTitle":"Сталася помилка","loadingPage.openConfigToml":"Відкрити config.toml","loadingPage.reload":"Перезавантажити","localConversation.contextCompacted":"Контекст автоматично скорочено","localConversation.contextCompacting":"Виконується автоматичне скорочення контексту","localConversation.forkedFromConversation":"Створено форк від {threadTitle}","localConversation.merge.autoResolve.failed":"Не вдалося надіслати запит на автоматичне вирішення: {error}","localConversation.merge.autoResolve.sent":"Запит на автоматичне вирішення надіслано","localConversation.merge.autoResolveMerge.missingConversation":"Автоматичне вирішення неможливе без активної розмови.","localConversation.merge.autoResolveMerge.request":"Автоматичне вирішення конфліктів об’єднання","localConversation.modelChanged":"Модель змінено з {fromModel} на {toModel}.","localConversation.modelChanged.warning.line1":"Зміна моделі під час розмови може погіршити продуктивність.","localConversation.modelChanged.warning.line2":"Контекст може бути автоматично скорочено.","localConversation.moveThread.createBranch.label":"Створити розгалуження","localConversation.moveToLocal.disabled.loading":"Завантаження…","localConversation.moveToLocal.modal.continue":"Продовжити","localConversation.moveToLocal.modal.destinationLabel":"Перемістити до","localConversation.moveToLocal.modal.retry":"Повторити спробу","localConversation.moveToWorktree.modal.back":"Назад","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Гілка вже існує","localConversation.moveToWorktree.modal.branchesError":"Не вдалося завантажити розгалуження","localConversation.moveToWorktree.modal.branchesLoading":"Завантаження гілок…","localConversation.moveToWorktree.modal.branchesRetry":"Повторити спробу","localConversation.moveToWorktree.modal.continue":"Продовжити","localConversation.moveToWorktree.modal.retry":"Повторити спробу","localConversation.moveToWorktree.modal.trailingSlashError":"Назва гілки не може закінчуватися символом «/».","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"нова гілка","localConversation.personalityChanged":"Перемкнуто на {personality} особистість","localConversation.planSummary.collapse":"Згорнути зведення плану","localConversation.planSummary.collapseTooltip":"Згорнути","localConversation.planSummary.download":"Завантажити план","localConversation.planSummary.expand":"Розгорнути зведення плану","localConversation.planSummary.expandTooltip":"Розгорнути","localConversation.planSummary.openInNewWindow":"Відкрити","localConversation.planSummary.openInNewWindow.tooltip":"Відкрити в новому вікні","localConversation.planSummary.title":"План","localConversation.planSummary.titleWriting":"План написання","localConversation.planSummary.viewPlan":"Розширити план","localConversation.remoteTaskCreated":"Створено {taskLink} у хмарі Codex","localConversation.remoteTaskCreated.task":"завдання","localConversation.scrollToBottomButton":"Прокрутити вниз","localConversation.sync.buttonLabel":"Передати до локального середовища","localConversation.sync.buttonLabel.tooltip":"Передає зміни між вашим робочим деревом і локальною версією, взятою на редагування.","localConversation.sync.modal.loading.title":"Передавання змін…","localConversation.sync.modal.noChanges":"Немає змін","localConversation.syncSetup.branchAriaLabel":"Назва розгалуження","localConversation.syncSetup.branchName":"Назва розгалуження","localConversation.syncSetup.branchPlaceholder.existing":"Вибрати наявну гілку","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Завантаження гілок…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Гілку вже вибрано","localConversation.syncSetup.checkoutClean":"Зараз у {branchName}","localConversation.syncSetup.checkoutDirty":"Зараз у {branchName} з незафіксованими змінами","localConversation.syncSetup.checkoutError":"Не вдалося перейти на гілку: {message}","localConversation.syncSetup.checkoutLabel":"Узяти на редагування локально","localConversation.syncSetup.checkoutOnLocal":"Передати до локального середовища","localConversation.syncSetup.checkoutPending":"Перевірка локального стану…","localConversation.syncSetup.checkoutUnavailable":"Локальна робоча область недоступна","localConversation.syncSetup.checkoutUnknown":"Локальна гілка недоступна","localConversation.syncSetup.continue":"Продовжити","localConversation.syncSetup.createBranchError":"Не вдалося встановити гілку для передавання: {message}","localConversation.syncSetup.error":"Сталася помилка: {message}","localConversation.syncSetup.error.workingTreeMissing":"Не вдалося створити знімок робочого дерева. Спробуйте повторити передавання.","localConversation.syncSetup.mode.ariaLabel":"Виберіть режим роботи з гілками","localConversation.syncSetup.mode.existing":"Наявна гілка","localConversation.syncSetup.mode.new":"Нова гілка","localConversation.syncSetup.noBranches":"Гілок не знайдено","localConversation.syncSetup.overwriteError":"Гілку створено, але її не повністю передано. Передайте вручну перед локальним переходом.","localConversation.syncSetup.setPrefix":"Задати префікс","localConversation.syncSetup.subtitle":"Тестуйте й редагуйте зміни робочого дерева локально. <a>Докладніше</a>","localConversation.syncSetup.success.checkedOut":"Гілку створено та вибрано локально","localConversation.syncSetup.success.notCheckedOut":"Гілку створено","localConversation.syncSetup.title":"Передати до локальної гілки","localConversation.syncWorktreeError.branchAriaLabel":"Назва розгалуження","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Виберіть гілку для передавання, потім повторіть завантаження змін.","localConversation.syncWorktreeError.branchSetup.title":"Оновити розгалуження","localConversation.syncWorktreeError.branchUpdate.cta":"Оновити та повторити","localConversation.syncWorktreeError.branchUpdate.error":"Не вдалося оновити гілку: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Сталася помилка: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Гілку не під’єднано до жодного робочого дерева.","localConversation.syncWorktreeV2.applyUncommitted":"Застосувати","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Щоб застосувати незафіксовані зміни, потрібно вибрати гілку локально","localConversation.syncWorktreeV2.branches.empty":"Гілок не знайдено","localConversation.syncWorktreeV2.branches.loading":"Завантаження гілок…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Змінити гілку передавання","localConversation.syncWorktreeV2.changeBranch.error":"Не вдалося змінити гілку передавання: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Не вдалося застосувати","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Не вдалося перезаписати робоче дерево","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Не вдалося перезаписати локальні дані","localConversation.syncWorktreeV2.commandError.back":"Назад","localConversation.syncWorktreeV2.commandError.body":"Під час передавання не вдалося виконати команду агента. Перегляньте вивід і повторіть спробу.","localConversation.syncWorktreeV2.commandError.retry":"Повторити спробу","localConversation.syncWorktreeV2.description":"Передавайте зміни між локальним середовищем і цим робочим деревом. <a>Докладніше</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Виберіть напрямок передавання","localConversation.syncWorktreeV2.error.generic":"Під час передавання сталася помилка. Спробуйте ще раз.","localConversation.syncWorktreeV2.localBranchLabel":"Локально","localConversation.syncWorktreeV2.noChanges":"Обчислення змін","localConversation.syncWorktreeV2.noChanges.summary":"Немає змін","localConversation.syncWorktreeV2.overwrite.local":"Перезаписати локальні дані","localConversation.syncWorktreeV2.overwrite.worktree":"Перезаписати робоче дерево","localConversation.syncWorktreeV2.partial.action.applyFailed":"Не вдалося застосувати зміни","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Не вдалося перезаписати локальні зміни","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Не вдалося перезаписати зміни робочого дерева","localConversation.syncWorktreeV2.partial.appliedLabel":"Застосовано","localConversation.syncWorktreeV2.partial.back":"Назад","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Усуньте конфлікти та спробуйте ще раз.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Конфлікти","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# файл} few {# файли} many {# файли} other {# файли}}","localConversation.syncWorktreeV2.partial.retry":"Повторити спробу","localConversation.syncWorktreeV2.partial.skippedLabel":"Пропущено","localConversation.syncWorktreeV2.stateFailed.generic":"Під час отримання змін робочого дерева для передавання сталася помилка. Спробуйте ще раз.","localConversation.syncWorktreeV2.stateFailed.title":"Не вдалося завантажити зміни робочого дерева","localConversation.syncWorktreeV2.statusError.diffUnknown":"Не вдалося завантажити зміни робочого дерева.","localConversation.syncWorktreeV2.statusError.retry":"Повторити спробу","localConversation.syncWorktreeV2.statusError.title":"Не вдалося завантажити зміни локальної гілки","localConversation.syncWorktreeV2.statusError.unknown":"Стан гілки наразі недоступний. Спробуйте ще раз.","localConversation.syncWorktreeV2.success.apply":"Зміни успішно застосовано","localConversation.syncWorktreeV2.success.overwrite":"Передавання виконано успішно","localConversation.syncWorktreeV2.title":"Передавання змін","localConversation.syncWorktreeV2.worktreeLabel":"Робоче дерево","localConversation.userInputRequest.inProgress":"Запит: {count, plural, one {запитання} few {запитання} many {запитань} other {запитання}}","localConversation.userInputRequest.noAnswer":"Відповідь не надано","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Запитано","localConversation.userInputRequest.summary.count":"{count, plural, one {# запитання} few {# запитання} many {# запитань} other {# запитання}}","localConversation.workedFor":"Програма працювала {time}","localConversation.worktreeBranchSetup.action.create":"Створити","localConversation.worktreeBranchSetup.branchAriaLabel":"Назва розгалуження","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Створити нове розгалуження","localConversation.worktreeBranchSetup.checkoutDisabled":"Цю гілку вже вибрано в {location}","localConversation.worktreeBranchSetup.checkoutError":"Не вдалося перейти на гілку: {message}","localConversation.worktreeBranchSetup.createBranchError":"Не вдалося встановити гілку: {message}","localConversation.worktreeBranchSetup.error":"Сталася помилка: {message}","localConversation.worktreeBranchSetup.subtitle":"Створіть гілку, щоб зафіксувати зміни, відправити їх і створити PR із цього робочого дерева. <a>Докладніше</a>.","localConversation.worktreeBranchSetup.title":"Працюйте тут","localConversationPage.addWorktreeToSidebar.tooltip":"Збережіть як проєкт, щоб створювати нові потоки з цього робочого дерева","localConversationPage.addWorktreeToSidebarError":"Не вдалося додати проєкт","localConversationPage.commitAndCreatePrModal.errorTitle":"Не вдалося зафіксувати зміни та створити запит на додавання змін","localConversationPage.commitAndCreatePrModal.successTitle":"Зміни зафіксовано, і створено запит на додавання змін","localConversationPage.commitAndPushModal.errorTitle":"Не вдалося зафіксувати та надіслати зміни","localConversationPage.commitAndPushModal.successTitle":"Зміни зафіксовано та надіслано","localConversationPage.commitCreatePr.open":"Відкрити запит на додавання змін","localConversationPage.commitCreatePr.successTitle":"Створено запит на додавання змін із вашими останніми змінами","localConversationPage.createBranchButtonLabel":"Створити гілку тут","localConversationPage.createPrModal.baseBranch":"Базова гілка","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Створити запит на додавання змін","localConversationPage.createPrModal.createDescription":"Відкрити запит на додавання змін для ваших останніх змін.","localConversationPage.createPrModal.errorTitle":"Не вдалося створити запит на додавання змін","localConversationPage.createPrModal.headBranch":"Поточна гілка","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Відкрити запит на додавання змін","localConversationPage.createPrModal.successTitle":"Запит на додавання змін створено","localConversationPage.createPrModal.title":"Створення запиту на додавання змін","localConversationPage.createPrModal.viewDescription":"Для цієї гілки вже існує запит на додавання змін.","localConversationPage.createPrModal.viewTitle":"Запит на додавання змін готовий","localConversationPage.createPullRequestAuthGh":"Авторизуйте GitHub CLI: запустіть команду gh auth login","localConversationPage.createPullRequestBranchMissing":"Інформація про розгалуження недоступна","localConversationPage.createPullRequestButtonLabel":"Створити запит на додавання змін","localConversationPage.createPullRequestButtonLabel.loading":"Створення запиту на додавання змін…","localConversationPage.createPullRequestDefaultBranchMissing":"Інформація про розгалуження за замовчуванням недоступна","localConversationPage.createPullRequestError":"Не вдалося створити запит на додавання змін","localConversationPage.createPullRequestExistingPullRequest":"Для цієї гілки вже існує запит на додавання змін","localConversationPage.createPullRequestGhStatusMissing":"Завантаження стану GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Установіть GitHub CLI (gh), щоб створювати запити на додавання змін","localConversationPage.createPullRequestNoRepo":"Не знайдено жодного сховища git","localConversationPage.createPullRequestPushStatusMissing":"Завантаження стану надсилання…","localConversationPage.createPullRequestSetUpstream":"Перш ніж створювати запит на додавання змін, спочатку надішліть розгалуження","localConversationPage.createPullRequestSuccessToast":"Запит на додавання змін створено","localConversationPage.createPullRequestSwitchBranch":"Перш ніж створювати запит на додавання змін, спочатку активуйте розгалуження функції","localConversationPage.error.render":"Помилка відтворення локальної розмови","localConversationPage.error.toast":"Розмову не знайдено","localConversationPage.forcePushError":"Не вдалося примусово надіслати зміни","localConversationPage.generatePullRequestMessageError":"Не вдалося згенерувати заголовок і опис запиту на додавання змін","localConversationPage.generatePullRequestMessageFailed":"Не вдалося згенерувати заголовок і опис запиту на додавання змін","localConversationPage.gitActionResult.branch":"Розгалуження","localConversationPage.gitActionResult.cancel":"Скасувати","localConversationPage.gitActionResult.close":"Закрити","localConversationPage.gitActionResult.tryAgain":"Повторити спробу","localConversationPage.gitActions":"Дії Git","localConversationPage.newChat":"Новий чат","localConversationPage.openInTarget":"Відкрити в","localConversationPage.openPrimaryTarget":"Відкрити","localConversationPage.planItemsCompleted":"{completedItems} з {totalItems, plural, one {# завдання завершено} few {# завдань завершено} many {# завдань завершено} other {# завдання завершено}}","localConversationPage.pushAuthError":"Не вдалося надіслати: потрібна багатофакторна автентифікація","localConversationPage.pushBranchMissing":"Інформація про розгалуження недоступна","localConversationPage.pushButtonLabel":"Push-сповіщення","localConversationPage.pushButtonLabel.loading":"Надсилання змін…","localConversationPage.pushError":"Не вдалось надіслати зміни","localConversationPage.pushModal.branchLabel":"Розгалуження","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Скасувати","localConversationPage.pushModal.confirm":"Push-сповіщення","localConversationPage.pushModal.description":"Надішліть свої останні зафіксовані зміни до віддаленого репозиторію.","localConversationPage.pushModal.errorTitle":"Не вдалося надіслати зміни","localConversationPage.pushModal.forcePush":"Примусово надіслати зміни","localConversationPage.pushModal.successTitle":"Надсилання змін завершено","localConversationPage.pushModal.title":"Надсилання змін","localConversationPage.pushModal.tryAgain":"Повторити спробу","localConversationPage.pushNoUpstream":"Задайте віддалене розгалуження, перш ніж надсилати це розгалуження","localConversationPage.pushNoUpstreamError":"Не вдалося надіслати: не налаштовано віддалене розгалуження","localConversationPage.pushNothingToPush":"Немає нових фіксацій для надсилання","localConversationPage.pushRemoteChangedError":"Не вдалося надіслати: у віддаленій версії є нові фіксації","localConversationPage.pushRemoteRejectedError":"Надсилання відхилено віддаленою версією","localConversationPage.pushStatusMissing":"Завантаження стану надсилання…","localConversationPage.pushSuccessToast":"Надіслані зміни","localConversationPage.viewPullRequestButtonLabel":"Переглянути запит на додавання змін","localConversationPage.viewPullRequestButtonLabel.loading":"Завантаження запиту на додавання змін…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# файл} few {# файли} many {# файлів} other {# файла}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# список} few {# списки} many {# списків} other {# списка}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# пошуковий запит} few {# пошукові запити} many {# пошукових запитів} other {# пошукового запиту}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Дослідження","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Досліджено","localConversationTurn.exploration.accordion.header.complete.withCounts":"Досліджено {counts}","localConversationTurnStory.showContent":"Показати вміст","localConversationTurnStory.streamContent":"Передавати вміст потоком","localConversationTurnStory.toggleReasoning":"Показати аргументацію","localTaskRow.archiveError":"Не вдалось архівувати розмову","localTaskRow.resumeError":"Не вдалося відновити завдання","mermaidDiagram.ariaLabel":"Діаграма Mermaid","mermaidDiagram.copySource":"Копіювати Mermaid","mermaidDiagram.originalCode":"Джерело коду Mermaid","notifications.permissions.description":"Показувати попередження, якщо потрібен дозвіл на сповіщення","notifications.permissions.label":"Увімкнути сповіщення про дозволи","notifications.turnMode.always":"Завжди","notifications.turnMode.description":"Налаштуйте, коли Codex сповіщатиме про завершення","notifications.turnMode.label":"Увімкнути сповіщення про завершення","notifications.turnMode.off":"Ніколи","notifications.turnMode.unfocused":"Тільки коли неактивно","patchApprovalRequest.approve":"Схвалити","patchApprovalRequest.menu.allowAlways":"Так, і більше не запитувати в цьому сеансі","patchApprovalRequest.menu.allowForSession":"Так, і більше не запитувати в цьому сеансі","patchApprovalRequest.menu.allowOnce":"Так","patchApprovalRequest.prompt":"Застосувати ці зміни?","patchApprovalRequest.reject":"Ні","patchApprovalRequest.waitingForApproval":"Очікується дозвіл на редагування файлу","pendingRequest.approvalExec.collapse":"Згорнути","pendingRequest.approvalExec.expand":"Розгорнути","pendingRequestStory.toastAnswer":"Відповідь: {answer}","pendingRequestStory.toastApprovalTitle":"Результат затвердження","pendingRequestStory.toastFollowupPrompt":"Запит: {prompt}","pendingRequestStory.toastFollowupTitle":"Додаткове повідомлення надіслано","pendingRequestStory.toastNoAnswers":"Відповіді не надано","pendingRequestStory.toastQuestion":"Запитання: {question}","pendingRequestStory.toastUnknownDecision":"Невідомо","pendingRequestStory.toastUserInputTitle":"Надіслані відповіді","quickAction.request.codeReview.branches.new":"Перевірте зміни в {from} порівняно з {to}","quickAction.request.codeReview.uncommitted.new":"Перевірте незастосовані зміни","reasoningItem.thinking":"Триває обробка","reasoningItem.thought":"Оброблено","reasoningItem.thoughtWithElapsed":"Обробка тривала {elapsed}","recentConversations.title":"Нещодавні розмови","recentTasks.worktreeInitFailedTitle":"Не вдалося ініціалізувати робоче дерево","recentTasks.worktreeSettingUpTitle":"Налаштування робочого дерева","requestInputPanel.continue":"Продовжити","requestInputPanel.dismiss":"Відхилити","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Уведіть тут","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ні, і повідомити Codex, що слід зробити інакше","requestInputPanel.selectedBadge":"Вибрано","requestInputPanel.skip":"Пропустити","requestInputPanel.submit":"Надіслати","review.commit.ariaLabel.includeUnstaged":"Додати неіндексовані зміни","review.commit.buttonLabel":"Зафіксувати зміни","review.commit.disabled.committing":"Відбувається фіксація…","review.commit.disabled.loadingDiff":"Завантаження змін…","review.commit.disabled.missingContext":"Додайте контекст, щоб створити повідомлення про фіксацію змін","review.commit.disabled.noChanges":"Немає змін для фіксації","review.commit.disabled.noSelection":"Виберіть зміни для фіксації","review.commit.disabled.unavailable":"Фіксація змін наразі недоступна","review.commit.error":"Не вдалося зафіксувати зміни","review.commit.form.changesToBeCommitted":"Зміни","review.commit.form.commitTo":"Розгалуження","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Продовжити","review.commit.form.title":"Зафіксуйте свої зміни","review.commit.generate.emptyResponse":"Не вдалося створити повідомлення фіксації змін.","review.commit.generate.failed":"Не вдалося створити повідомлення фіксації змін: {error}","review.commit.generate.missingPrompt":"Додайте контекст, щоб створити повідомлення фіксації змін.","review.commit.includeUnstaged":"Додати неіндексовані зміни","review.commit.loading.description":"Трохи зачекайте…","review.commit.loading.step.commit.done":"Зафіксовані зміни","review.commit.loading.step.commit.pending":"Фіксація змін","review.commit.loading.step.createPr.done":"Запит на додавання змін створено","review.commit.loading.step.createPr.pending":"Створення запиту на додавання змін","review.commit.loading.step.push.done":"Зміни надіслано до гілки {branch}","review.commit.loading.step.push.pending":"Надсилання змін до гілки {branch}","review.commit.loading.title.commit":"Фіксація змін","review.commit.loading.title.createPr":"Створення запиту на додавання змін","review.commit.loading.title.push":"Надсилання змін","review.commit.messageLabel":"Повідомлення про фіксацію змін","review.commit.messagePlaceholder":"Залиште поле порожнім, щоб повідомлення про фіксацію змін було створено автоматично","review.commit.nextSteps":"Наступні кроки","review.commit.nextSteps.commit":"Зафіксувати зміни","review.commit.nextSteps.commitAndCreate":"Зафіксувати зміни та створити запит на додавання змін","review.commit.nextSteps.commitAndPush":"Зафіксувати та надіслати зміни","review.commit.nextSteps.prRequiresGh":"Потрібен GitHub CLI: {command}","review.commit.rows.changes":"Зміни","review.commit.rows.commitCount":"{count, plural, one {# фіксація змін} few {# фіксації змін} many {# фіксацій змін} other {# фіксації змін}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# фіксація змін} few {# фіксації змін} many {# фіксацій змін} other {# фіксації змін}} і {stats}","review.commit.rows.fileCount":"{count, plural, one {# файл} few {# файли} many {# файли} other {# файли}}","review.commit.state.error.body":"Сталася помилка під час фіксації. Перевірте свій статус git і спробуйте ще раз.","review.commit.state.error.title":"Не вдалося зафіксувати","review.commit.state.success.title":"Зміни зафіксовано","review.commit.untracked.loadingStats":"Завантаження даних про відмінності, які не відстежуються…","reviewFindingAttachments.count":"{count, plural, one {# результат} few {# результати} many {# результатів} other {# результату}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Внесіть зміни у файл конфігурації, щоб налаштувати поведінку агента","settings.agent.configuration.configToml.docs":"Документи","settings.agent.configuration.configToml.restartNote":"Перезапустіть Codex після редагування, щоб застосувати зміни","settings.agent.configuration.subtitle":"Ці налаштування застосовуються всюди, де використовується Codex","settings.automations.banner.danger":"Автоматизації виконуються зі стандартними налаштуваннями пісочниці, які зараз установлено на «повний доступ». Запуск фонових автоматизацій із повним доступом має підвищений ризик, оскільки Codex може змінювати файли, виконувати команди та отримувати доступ до мережі без підтвердження. Рекомендуємо змінити налаштування пісочниці на «запис у робочу область» і використовувати <rulesDocsLink>правила</rulesDocsLink>, щоб вибірково визначати, які команди агент може виконувати з повним доступом.","settings.automations.banner.defaultHowTo.default":"Автоматизації виконуються зі стандартними налаштуваннями пісочниці. Виклики інструментів завершаться помилкою, якщо для них потрібно змінювати файли поза робочою областю, отримувати доступ до мережі або працювати з програмами на вашому комп’ютері. Ви можете вибірково дозволяти команди для виконання поза пісочницею за допомогою <rulesDocsLink>правил</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Автоматизації виконуються зі стандартними налаштуваннями пісочниці, установленими на «лише читання». Виклики інструментів завершаться помилкою, якщо для них потрібно змінювати файли, отримувати доступ до мережі або працювати з програмами на вашому комп’ютері. Рекомендуємо змінити налаштування пісочниці на «запис у робочу область».","settings.automations.cancel":"Скасувати","settings.automations.create":"Створити","settings.automations.cwdEmpty":"Немає доступних папок проєкту","settings.automations.cwdLabel":"Проєкти","settings.automations.cwdPlaceholder":"Вибрати папку","settings.automations.cwdSubtitle":"Якщо потрібно, щоб автоматизація виконувалася для певної гілки, зазначте її у своєму запиті.","settings.automations.delete":"Видалити","settings.automations.dialog.editTitle":"Редагувати автоматизацію","settings.automations.dialog.newTitle":"Нова автоматизація","settings.automations.dialog.subtitle":"Автоматизуйте повторювані завдання у фоновому режимі. Codex додає результати до вхідних або автоматично архівує завдання, якщо немає про що звітувати. <learnMoreLink>Докладніше</learnMoreLink>","settings.automations.dialog.title":"Створити автоматизацію","settings.automations.executionCopy.git":"Автоматизації виконуються у фоновому режимі на виділених робочих деревах.","settings.automations.executionCopy.nonGit":"Автоматизації в проєктах без контролю версій виконуються безпосередньо в каталозі проєкту. Рекомендуємо використовувати Git, щоб увімкнути виконання на фонових робочих деревах.","settings.automations.executionEnvironment.local":"Локально","settings.automations.executionEnvironment.worktree":"Робоче дерево","settings.automations.loading":"Завантаження…","settings.automations.nameLabel":"Ім’я","settings.automations.namePlaceholder":"Перевірити помилки Sentry","settings.automations.pause":"Призупинити","settings.automations.promptLabel":"Запит","settings.automations.promptPlaceholder":"Шукати збої в $Sentry","settings.automations.resume":"Поновити","settings.automations.rruleSummaryFallback":"Спеціальний розклад","settings.automations.runNow":"Перевірити","settings.automations.save":"Зберегти","settings.automations.scheduleBadge.dayCount":"{count} дн","settings.automations.scheduleBadge.interval":"{count} год","settings.automations.scheduleBadge.weekdays":"Будні","settings.automations.scheduleBadge.weekends":"Вихідні","settings.automations.scheduleHeader":"Розклад","settings.automations.scheduleHours":"год","settings.automations.scheduleLabel":"Запускати кожні","settings.automations.scheduleMode.daily":"Щодня","settings.automations.scheduleMode.interval":"Інтервал","settings.automations.scheduleModeLabel":"Тип розкладу","settings.automations.scheduleSummary.daily":"Щодня о {time}","settings.automations.scheduleSummary.interval":"Кожні {count} год","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# день} few {# дн.} many {# дн.} other {# дн.}}","settings.automations.scheduleSummary.intervalDays":"{interval} у {days}","settings.automations.scheduleSummary.intervalHourly":"Щогодини","settings.automations.scheduleSummary.singleDay":"{day} о {time}","settings.automations.scheduleSummary.weekdays":"У будні о {time}","settings.automations.scheduleSummary.weekdaysLabel":"будні","settings.automations.scheduleSummary.weekends":"У вихідні о {time}","settings.automations.scheduleSummary.weekendsLabel":"вихідні","settings.automations.scheduleSummary.weekly":"{days} о {time}","settings.automations.scheduleWeekdays":"Увімкнути","settings.automations.weekdayState.excluded":"Вилучено","settings.automations.weekdayState.included":"Входить","settings.conversationDetail.steps":"Кроки","settings.conversationDetail.steps.description":"Приховати команди й вивід","settings.conversationDetail.stepsWithCommands":"Кроки з командами коду","settings.conversationDetail.stepsWithCommands.description":"Показати команди, згорнути вивід","settings.conversationDetail.stepsWithOutput":"Кроки з виводом коду","settings.conversationDetail.stepsWithOutput.description":"Показати команди й розгорнути вивід","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Заархівованих чатів немає.","settings.dataControls.archivedChats.error":"Не вдалося завантажити архівовані чати.","settings.dataControls.archivedChats.loading":"Завантаження архівованих чатів…","settings.dataControls.archivedChats.unarchive":"Розархівувати","settings.dataControls.archivedChats.unarchiveError":"Не вдалося розархівувати чат","settings.dataControls.archivedChats.unarchiveSuccess":"Ланцюжок розархівовано. <viewNowLink>Переглянути зараз</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Ланцюжок розархівовано.","settings.dataControls.archivedChats.untitled":"Чат без назви","settings.dataControls.archivedChats.viewNow":"Переглянути зараз","settings.editRow.headerPlaceholder":"Ключ","settings.editRow.removeEntry":"Вилучити запис","settings.editRow.valuePlaceholder":"Значення","settings.general.appearance":"Зовнішній вигляд","settings.general.appearance.codeFont":"Шрифт коду","settings.general.appearance.codeFont.description":"Налаштуйте шрифт і розмір, які використовуються для коду в чатах і порівняннях","settings.general.appearance.codeFontFamily":"Сімейство шрифтів для коду","settings.general.appearance.codeFontSize":"Розмір шрифту коду","settings.general.appearance.codeFontSize.units":"пк","settings.general.appearance.opaqueWindows.description":"Використовувати для вікон суцільне тло замість системної прозорості","settings.general.appearance.opaqueWindows.label":"Використовувати непрозоре тло вікон","settings.general.appearance.sansFontFamily":"Сімейство шрифтів Sans","settings.general.appearance.sansFontFamily.description":"Налаштуйте шрифт для інтерфейсу Codex","settings.general.appearance.sansFontSize":"Розмір шрифту Sans","settings.general.appearance.sansFontSize.units":"пк","settings.general.appearance.sparkCelebrationEffects.description":"Показувати повноекранні анімаційні ефекти під час виконання першого запиту GPT-5.3-Codex-Spark","settings.general.appearance.sparkCelebrationEffects.label":"Анімаційні ефекти Spark","settings.general.appearance.theme":"Тема","settings.general.appearance.theme.dark":"Темний","settings.general.appearance.theme.description":"Використовувати світлий, темний або системний","settings.general.appearance.theme.light":"Світлий","settings.general.appearance.theme.system":"Системний","settings.general.appearance.usePointerCursors.description":"Змінювати курсор на вказівник під час наведення на інтерактивні елементи","settings.general.appearance.usePointerCursors.label":"Використовувати курсори-вказівники","settings.general.enterBehavior.description":"Якщо ввімкнено, для надсилання багаторядкових запитів потрібно натиснути {modifierSymbol} + Enter.","settings.general.enterBehavior.label":"Вимагати {modifierSymbol} + Enter для надсилання довгих запитів","settings.general.experimentalFeatures":"Експериментальні функції (бета-версія)","settings.general.experimentalFeatures.empty":"Немає доступних експериментальних функцій у бета-версії.","settings.general.experimentalFeatures.loading":"Завантаження експериментальних функцій…","settings.general.experimentalFeatures.restartNote":"Перезапустіть Codex, щоб застосувати зміни експериментальних функцій","settings.general.experimentalFeatures.toggle":"Перемкнути {featureName}","settings.general.followUpQueueMode.description":"Ставте подальші дії в чергу, поки працює Codex, або керуйте поточним виконанням. Натисніть {invertFollowUpShortcutLabel}, щоб виконати протилежну дію для одного повідомлення.","settings.general.followUpQueueMode.interrupt":"Керування виконанням","settings.general.followUpQueueMode.label":"Як обробляти подальші дії","settings.general.followUpQueueMode.queue":"Додати в чергу","settings.general.notifications":"Сповіщення","settings.general.power.preventSleepWhileRunning.description":"Не переводьте комп’ютер у режим сну, поки Codex виконує потік.","settings.general.power.preventSleepWhileRunning.label":"Запобігати переходу в режим сну під час виконання","settings.git.branchPrefix.ariaLabel":"Префікс гілки","settings.git.branchPrefix.description":"Префікс, що використовується під час створення нових гілок у Codex","settings.git.branchPrefix.label":"Префікс гілки","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Не вдалося зберегти префікс гілки","settings.git.branchPrefix.save.success":"Префікс гілки збережено","settings.git.commitInstructions.ariaLabel":"Інструкції для фіксації змін","settings.git.commitInstructions.description":"Додано до запитів для створення повідомлень фіксації змін","settings.git.commitInstructions.label":"Інструкції для фіксації змін","settings.git.commitInstructions.placeholder":"Додати рекомендації щодо повідомлення фіксації змін…","settings.git.commitInstructions.save":"Зберегти","settings.git.commitInstructions.save.error":"Не вдалося зберегти інструкції для фіксації змін","settings.git.commitInstructions.save.success":"Інструкції для фіксації змін збережено","settings.git.forcePush.ariaLabel":"Завжди примусово надсилати зміни","settings.git.forcePush.description":"Використовуйте --force-with-lease для надсилання змін із Codex","settings.git.forcePush.label":"Завжди примусово надсилати зміни","settings.git.forcePush.save.disabled":"Примусове надсилання змін вимкнено","settings.git.forcePush.save.enabled":"Примусове надсилання змін увімкнено","settings.git.forcePush.save.error":"Не вдалося зберегти налаштування примусового надсилання","settings.git.prInstructions.ariaLabel":"Інструкції для запиту на додавання змін","settings.git.prInstructions.description":"Додано до описів запитів на додавання змін, створених Codex","settings.git.prInstructions.label":"Інструкції для запиту на додавання змін","settings.git.prInstructions.placeholder":"Додати рекомендації для запиту на додавання змін…","settings.git.prInstructions.save":"Зберегти","settings.git.prInstructions.save.error":"Не вдалося зберегти інструкції для запиту на додавання змін","settings.git.prInstructions.save.success":"Інструкції для запиту на додавання змін збережено","settings.ide.defaultOpenTarget.description":"Місце, де файли й папки відкриваються за замовчуванням","settings.ide.defaultOpenTarget.label":"Місце для відкривання за замовчуванням","settings.ide.defaultOpenTarget.placeholder":"Не знайдено місць призначення","settings.ide.language.auto":"Автовизначення","settings.ide.language.autoOption":"Автовизначення","settings.ide.language.description":"Мова інтерфейсу програми","settings.ide.language.label":"Мова","settings.ide.language.search":"Шукати мови","settings.layout.actionButton":"Перезапустити розширення","settings.layout.actionTitle":"Налаштування з дією","settings.layout.fullWidthTitle":"Налаштування (повна ширина)","settings.layout.title":"Налаштування","settings.localEnvironments.actions.add":"Додати дію","settings.localEnvironments.actions.add.description":"Створіть нову команду для запуску з панелі інструментів.","settings.localEnvironments.actions.add.save":"Зберегти","settings.localEnvironments.actions.empty":"Додайте дію, щоб запускати команди з локальної панелі інструментів.","settings.localEnvironments.actions.icon.debug":"Налагодження","settings.localEnvironments.actions.icon.run":"Виконується","settings.localEnvironments.actions.icon.test":"Перевірити","settings.localEnvironments.actions.icon.tool":"Інструмент","settings.localEnvironments.actions.item.button.delete":"Видалити","settings.localEnvironments.actions.item.command":"Сценарій дій","settings.localEnvironments.actions.item.name":"Ім’я","settings.localEnvironments.actions.item.platforms":"Платформи","settings.localEnvironments.actions.item.platforms.help":"Виконувати лише на певній ОС.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Вибір платформи","settings.localEnvironments.actions.item.platforms.specific":"Для певної платформи","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Видалити","settings.localEnvironments.actions.title":"Дії","settings.localEnvironments.breadcrumb.back":"Назад","settings.localEnvironments.breadcrumb.edit":"редагувати","settings.localEnvironments.breadcrumb.root":"Середовища","settings.localEnvironments.environment.actions.description":"Ці дії можуть запускати будь-які команди й відображатимуться в заголовку.","settings.localEnvironments.environment.actionsLabel":"Дії","settings.localEnvironments.environment.create":"Створити локальне середовище","settings.localEnvironments.environment.defaultName":"локально","settings.localEnvironments.environment.edit":"Редагувати локальне середовище","settings.localEnvironments.environment.empty":"Для цього проєкту ще не налаштовано локальне середовище.","settings.localEnvironments.environment.name":"Ім’я","settings.localEnvironments.environment.setup":"Сценарій налаштування","settings.localEnvironments.environment.setup.description":"Цей сценарій виконуватиметься при створенні робочого дерева.","settings.localEnvironments.environment.setup.hint":"Виконується в кореневій папці проєкту.","settings.localEnvironments.environment.setup.platformOverrides":"Налаштування для конкретної платформи","settings.localEnvironments.environment.setup.platformOverrides.add":"Додати сценарій налаштування {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Перевизначення сценарію за замовчуванням для певних операційних систем.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Вилучити","settings.localEnvironments.environment.setup.script":"Сценарій","settings.localEnvironments.environment.title":"Відомості про середовище","settings.localEnvironments.file.missing":"Збережіть, щоб створити цей файл уперше.","settings.localEnvironments.file.parseError":"Не вдалося проаналізувати наявний файл. У разі збереження його буде перезаписано. ({error})","settings.localEnvironments.file.path":"Файл: {path}","settings.localEnvironments.file.readError":"Не вдалося завантажити дані локального середовища. ({error})","settings.localEnvironments.file.title":"Файл локального середовища","settings.localEnvironments.loading.body":"Отримання конфігурації проєкту.","settings.localEnvironments.loading.title":"Завантаження локальних середовищ","settings.localEnvironments.preview.devOnly":"(Лише розробники)","settings.localEnvironments.preview.save":"Зберегти","settings.localEnvironments.preview.saveError":"Не вдалося зберегти файл. ({error})","settings.localEnvironments.preview.title":"Попередній перегляд","settings.localEnvironments.save.disabled.name":"Додайте назву середовища для збереження","settings.localEnvironments.save.disabled.noChanges":"Немає змін для збереження.","settings.localEnvironments.save.disabled.saving":"Збереження…","settings.localEnvironments.save.success":"Локальне середовище збережено","settings.localEnvironments.unavailable.body":"Не вдалося завантажити налаштування локального середовища для цього проєкту.","settings.localEnvironments.unavailable.title":"Локальні середовища недоступні","settings.localEnvironments.workspace.add":"Додати проєкт","settings.localEnvironments.workspace.title":"Проєкт","settings.localEnvironments.workspaceSelect.addLabel":"Додати середовище","settings.localEnvironments.workspaceSelect.description":"Локальні середовища повідомляють Codex, як налаштовувати робочі дерева для проєкту. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Проєктів ще немає. Додайте проєкт, щоб налаштувати локальні середовища.","settings.localEnvironments.workspaceSelect.errorLabel":"Середовище потребує уваги","settings.localEnvironments.workspaceSelect.learnMore":"Докладніше","settings.localEnvironments.workspaceSelect.listLabel":"Доступні проєкти","settings.localEnvironments.workspaceSelect.loading":"Завантаження проєктів.","settings.localEnvironments.workspaceSelect.loadingLabel":"Завантаження середовища","settings.localEnvironments.workspaceSelect.title":"Виберіть проєкт","settings.localEnvironments.workspaceSelect.viewAction":"Переглянути","settings.mcp.addServer":"Додати сервер","settings.mcp.app.configure":"Налаштувати","settings.mcp.app.connect":"Підключити","settings.mcp.apps.refresh":"Оновити","settings.mcp.detail.addArgument":"Додати аргумент","settings.mcp.detail.addEnvVar":"Додати змінну середовища","settings.mcp.detail.addEnvVarPassthrough":"Додати змінну","settings.mcp.detail.args":"Аргументи","settings.mcp.detail.back":"Назад","settings.mcp.detail.command":"Команда для виконання","settings.mcp.detail.cwd":"Робочий каталог","settings.mcp.detail.docs":"Відкрити документацію MCP","settings.mcp.detail.docs.link":"Документи","settings.mcp.detail.envVarPassthrough":"Передача змінних середовища","settings.mcp.detail.envVars":"Змінні середовища","settings.mcp.detail.http.addEnvHeader":"Додати змінну","settings.mcp.detail.http.addHeader":"Додати заголовок","settings.mcp.detail.http.bearerToken":"Змінна середовища «Токен на пред’явника»","settings.mcp.detail.http.envHeaders":"Заголовки зі змінних середовища","settings.mcp.detail.http.headers":"Заголовки","settings.mcp.detail.http.url":"URL-адреса","settings.mcp.detail.name":"Ім’я","settings.mcp.detail.save":"Зберегти","settings.mcp.detail.switchTransportNotice":"Щоб змінити тип сервера МСР, спочатку його треба видалити.","settings.mcp.detail.titleExisting":"Оновити МСР {name}","settings.mcp.detail.titleNew":"Підключіться до спеціального МСР","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Деінсталювати","settings.mcp.empty":"Не підключено жодного спеціального сервера МСР","settings.mcp.myServers":"Спеціальні сервери","settings.mcp.partnerServer.description.figma":"Генеруйте кращий код із додаванням повного контексту Figma","settings.mcp.partnerServer.description.github":"Використовуйте API GitHub для автоматизації робочих процесів і видобування даних","settings.mcp.partnerServer.description.linear":"Використовуйте Linear для відстеження завдань і керування проєктами","settings.mcp.partnerServer.description.notion":"Читання документів, оновлення сторінок, керування завданнями","settings.mcp.partnerServer.description.playwright":"Використовуйте автоматизацію бравзера для впровадження дизайну й перевірки інтерфейсу.","settings.mcp.partnerServer.install":"Установити","settings.mcp.partnerServer.installAndAuthenticate":"Установити й автентифікувати","settings.mcp.partnerServer.logoAlt":"Логотип «{label}»","settings.mcp.partnerServer.manage":"Керувати","settings.mcp.partnerServer.vendor":"користувач: {vendor}","settings.mcp.recommendedServers":"Рекомендовані сервери","settings.mcp.restartApp":"Перезапустити","settings.mcp.restartExtension":"Перезапустити розширення","settings.mcp.server.enable":"Увімкнути","settings.mcp.server.login":"Автентифікуватися","settings.mcp.server.settings":"Налаштування","settings.multiselect.createOption":"Створити «{value}»","settings.multiselect.removeOption":"Вилучити","settings.nav.account":"Обліковий запис","settings.nav.agent":"Конфігурація","settings.nav.ariaLabel":"Налаштування","settings.nav.back":"Повернутися до програми","settings.nav.data-controls":"Архівовані ланцюжки","settings.nav.environments":"Хмарні середовища","settings.nav.externalTooltip":"[alpha] Відкривається в бравзері","settings.nav.general-settings":"Загальні","settings.nav.git-settings":"Git","settings.nav.local-environments":"Середовища","settings.nav.mcp-settings":"Сервери MCP","settings.nav.notImplemented":"[alpha] Недоступно в альфа-версії","settings.nav.personalization":"Персоналізація","settings.nav.skills-settings":"Навички","settings.nav.usage-analytics":"Використання й аналітика","settings.nav.worktrees":"Робочі дерева","settings.openSourceLicenses.back":"Назад","settings.openSourceLicenses.loading":"Завантаження…","settings.openSourceLicenses.missing":"Повідомлень від сторонніх компонентів не знайдено.","settings.openSourceLicenses.notSupported":"Недоступно на цьому хості.","settings.openSourceLicenses.rowDescription":"Повідомлення від сторонніх компонентів для вбудованих залежностей","settings.openSourceLicenses.rowLabel":"Ліцензії відкритого коду","settings.openSourceLicenses.subtitle":"Повідомлення від сторонніх компонентів для залежностей, включених у цю програму","settings.openSourceLicenses.title":"Ліцензії відкритого коду","settings.openSourceLicenses.view":"Переглянути","settings.personalization.agents.description":"Редагуйте інструкції, які налаштовують Codex для вас. {learnMore}","settings.personalization.agents.learnMore":"Докладніше","settings.personalization.agents.loadError":"Не вдалося завантажити список агентів.","settings.personalization.agents.loading":"Завантаження agents.md…","settings.personalization.agents.placeholder":"Додайте спеціальні інструкції…","settings.personalization.agents.retry":"Повторити спробу","settings.personalization.agents.save":"Зберегти","settings.personalization.agents.save.error":"Не вдалося зберегти agents.md","settings.personalization.agents.save.success":"Файл agents.md збережено","settings.personalization.agents.title":"Спеціальні інструкції","settings.personalization.personality.description":"Виберіть стандартний тон відповідей Codex","settings.personalization.personality.label":"Особистість","settings.sample.contentBody":"Використовуйте цей макет для створення панелей налаштувань з узгодженими відступами.","settings.sample.contentTitle":"Зразок блоку вмісту","settings.section.account":"Обліковий запис","settings.section.agent":"Конфігурація","settings.section.data-controls":"Архівовані ланцюжки","settings.section.environments":"Хмарні середовища","settings.section.external":"Відкривається в бравзері на стадії альфа-версії","settings.section.general-settings":"Загальні","settings.section.git-settings":"Git","settings.section.local-environments":"Середовища","settings.section.mcp-settings":"Сервери MCP","settings.section.mcp-settings.docs":"Документи","settings.section.mcp-settings.subtitle":"Підключайте зовнішні інструменти та джерела даних.","settings.section.personalization":"Персоналізація","settings.section.skills-settings":"Навички","settings.section.unavailable":"Поки що недоступно в альфа-версії","settings.section.usage-analytics":"Використання й аналітика","settings.section.worktrees":"Робочі дерева","settings.threadDetail.description":"Виберіть, скільки виводу команд показувати в ланцюжках","settings.threadDetail.label":"Деталі ланцюжка","settings.worktrees.conversation.untitled":"Розмова без назви","settings.worktrees.delete.error":"Не вдалося видалити робоче дерево","settings.worktrees.empty.body":"Тут з’являтимуться робочі дерева, створені Codex.","settings.worktrees.empty.title":"Робочих дерев поки немає","settings.worktrees.error.body":"Під час завантаження робочих дерев сталася помилка.","settings.worktrees.error.retry":"Повторити спробу","settings.worktrees.error.title":"Не вдалося завантажити робочі дерева","settings.worktrees.loading.body":"Отримання відомостей про робоче дерево","settings.worktrees.loading.title":"Завантаження робочих дерев","settings.worktrees.repository.loading":"Завантаження метаданих репозиторію…","settings.worktrees.repository.unknown":"Невідоме сховище","settings.worktrees.row.conversations":"Розмови","settings.worktrees.row.conversations.empty":"Із цим робочим деревом не пов’язано жодної розмови.","settings.worktrees.row.conversations.loading":"Завантаження розмов…","settings.worktrees.row.delete":"Видалити","settings.worktrees.row.title":"Робоче дерево","sidebarElectron.addWorkspaceRoot":"Додати новий проєкт","sidebarElectron.archiveThread":"Архівувати ланцюжок","sidebarElectron.archiveThreadError":"Не вдалось архівувати ланцюжок","sidebarElectron.collapseFolder":"Згорнути папку","sidebarElectron.createStableWorktree.dialog.cancel":"Скасувати","sidebarElectron.createStableWorktree.dialog.create":"Створити","sidebarElectron.debugNavLink":"Налагодження","sidebarElectron.editWorkspaceRootOptionName":"Редагувати назву","sidebarElectron.expandFolder":"Розгорнути папку","sidebarElectron.groupByMenu.recency":"Список у хронологічному порядку","sidebarElectron.groupByMenu.title":"Упорядкувати","sidebarElectron.groupByMenu.workspace":"За проєктом","sidebarElectron.inboxRouteNavLink":"Автоматизації","sidebarElectron.markThreadUnread":"Позначити як непрочитане","sidebarElectron.missingWorkspaceRoot":"Цю папку проєкту було видалено або переміщено","sidebarElectron.newThread":"Новий ланцюжок","sidebarElectron.newThreadInGroup":"Почати новий ланцюжок у {folder}","sidebarElectron.noRecentThreads":"Немає нещодавніх ланцюжків","sidebarElectron.noTasks":"Немає ланцюжків","sidebarElectron.noTasks.start":"Додати новий проєкт","sidebarElectron.noTasksWithFilter":"Немає ланцюжків, що відповідають фільтрам","sidebarElectron.pinnedThreads":"Закріплені ланцюжки","sidebarElectron.recentNavLink":"Ланцюжки","sidebarElectron.recentThreads":"Нещодавні ланцюжки","sidebarElectron.removeWorkspaceRootOption":"Вилучити","sidebarElectron.renameThread":"Перейменувати ланцюжок","sidebarElectron.renameThreadDialogAriaLabel":"Назва ланцюжка","sidebarElectron.renameThreadDialogCancel":"Скасувати","sidebarElectron.renameThreadDialogPlaceholder":"Додати назву…","sidebarElectron.renameThreadDialogSave":"Зберегти","sidebarElectron.renameThreadDialogSubtitle":"Вона має бути короткою та впізнаваною.","sidebarElectron.renameThreadDialogTitle":"Перейменувати ланцюжок","sidebarElectron.renameThreadError":"Не вдалося перейменувати ланцюжок","sidebarElectron.renameWorkspaceRootOptionLabel":"Відображувана назва","sidebarElectron.showLess":"Показати менше","sidebarElectron.showMenu.all":"Усі ланцюжки","sidebarElectron.showMenu.relevant":"Релевантний","sidebarElectron.showMenu.relevantHint":"Показувати лише нещодавні ланцюжки для поточної гілки, робочих дерев або інші ланцюжки, що потребують вашої уваги","sidebarElectron.showMenu.title":"Показати","sidebarElectron.showMenu.tooltip":"Фільтруйте, сортуйте й упорядковуйте ланцюжки","sidebarElectron.showMenu.trigger":"Фільтрувати ланцюжки на бічній панелі","sidebarElectron.showMore":"Показати більше","sidebarElectron.skillsRouteNavLink":"Навички","sidebarElectron.sortMenu.created":"Створено","sidebarElectron.sortMenu.title":"Сортувати за","sidebarElectron.sortMenu.updated":"Оновлено","sidebarElectron.taskNavigation":"Папки для автоматизацій","sidebarElectron.tasksInFolder":"Автоматизації в {folder}","sidebarElectron.workspaceOptions":"Дії з проєктом {folder}","sidebarElectron.worktreeGroupTooltip":"Це робоче дерево git","skills.appsPage.createSkill":"Нова навичка","skills.appsPage.empty.skills":"Не знайдено жодної навички","skills.appsPage.search.skills":"Шукати навички","skills.appsPage.search.skills.label":"Шукати навички","skills.appsPage.section.installedApps":"Установлено","skills.appsPage.section.skills":"Навички","skills.appsPage.subheading":"Розширення можливостей Codex. <link>Докладніше</link>","skills.appsPage.tab.recommended":"Рекомендовано","skills.appsPage.tab.skills":"Навички","skills.card.contentsError":"Не вдалося завантажити вміст навички.","skills.card.disable":"Вимкнути","skills.card.disableSuccess":"Навичку {skillName} вимкнено","skills.card.disabledBadge":"Вимкнено","skills.card.enable":"Увімкнути","skills.card.enableSuccess":"Навичку {skillName} ввімкнено","skills.card.loadingContents":"Завантаження вмісту навички…","skills.card.more":"Інші дії","skills.card.open":"Відкрити","skills.card.removeFailed":"Не вдалося видалити навичку","skills.card.removeSuccess":"Навичку {skillName} видалено","skills.card.toggleEnabledError":"Не вдалось оновити навички","skills.card.try":"Спробувати","skills.card.trySkill":"Спробувати навичку","skills.card.uninstall":"Деінсталювати","skills.hero.dotLabel":"Перейти до слайду {index}","skills.hero.next":"Наступна рекомендована навичка","skills.hero.trySkill":"Спробувати навичку","skills.page.createSkill":"Нова навичка","skills.page.empty":"Не знайдено жодної навички","skills.page.filteredEmpty":"За вибраними фільтрами не знайдено жодної навички","skills.page.filteredEmptyDescription":"Спробуйте змінити пошуковий запит або область пошуку","skills.page.heading":"Навички","skills.page.loading":"Завантаження навичок…","skills.page.refreshSkills":"Оновити","skills.page.refreshSkillsToUseNew":"Оновіть, щоб скористатися новими навичками","skills.page.search":"Шукати навички","skills.page.search.label":"Шукати навички","skills.page.subheading":"Розширення можливостей Codex. <link>Докладніше</link>","skills.preview.copyPrompt":"Копіювати запит","skills.preview.examplePrompt":"Приклад запиту","skills.recommended.error":"Не вдалося завантажити рекомендовані навички","skills.recommended.install":"Установити","skills.recommended.installSkill":"Установити навичку","skills.recommended.installSuccess":"Навичку {skillName} встановлено","skills.recommended.installed":"Установлено","skills.scope.admin":"Адміністратор","skills.scope.adminInstalled":"Установлені адміністратором","skills.scope.builtIn":"Системна","skills.scope.personal":"Особистий","skills.scope.repo":"Сховище","skills.scope.system":"Системна","skills.scope.team":"Team","skills.scope.user":"Користувач","skills.section.installed":"Установлено","skills.section.recommended":"Рекомендовано","story.slidingToggle.existing":"Наявні","story.slidingToggle.fromLocal":"Із локального середовища","story.slidingToggle.new":"Новий","story.slidingToggle.toLocal":"До локального середовища","terminal.close":"Закрити термінал","terminal.title":"Термінал","thinkingShimmer.default":"Триває обробка","threadEnvIcon.cloudTooltip":"Ця розмова виконується в Codex Cloud.","threadEnvIcon.localTooltip":"Ця розмова виконується локально.","threadEnvIcon.worktreeTooltip":"Ця розмова виконується в локальному робочому дереві git.","threadHeader.archiveConfirmCancel":"Скасувати","threadHeader.archiveConfirmConfirm":"Архівувати","threadHeader.archiveConfirmSubtitle":"Ви зможете знайти це пізніше в архівованих ланцюжках.","threadHeader.archiveConfirmTitle":"Архівувати ланцюжок?","threadHeader.copyAppLink":"Копіювати точне посилання","threadHeader.copySessionId":"Копіювати ідентифікатор сеансу","threadHeader.copyWorkingDirectory":"Копіювати робочий каталог","threadHeader.forkIntoLocal":"Створити форк локально","threadHeader.forkIntoWorktree":"Створити форк у новому робочому дереві","threadHeader.forkPendingWorktreePrompt":"Створити форк цієї розмови в новому робочому дереві.","threadHeader.forkPendingWorktreeTitle":"Форк розмови","threadHeader.forkThreadError":"Не вдалося створити форк ланцюжка","threadHeader.forkThreadRequiresGitRepo":"Для створення форку в новому робочому дереві потрібен репозиторій Git","threadHeader.moreActions":"Дії з ланцюжком","threadPage.newThread":"Новий ланцюжок","threadPage.runAction.changeEnvironment":"Змінити середовище","threadPage.runAction.dropdown.titleWithEnvironment":"Дії {environmentName}","threadPage.runAction.environmentSelector.label":"Виберіть середовище","threadPage.runAction.label":"Виконується","threadPage.runAction.missing.label":"Налаштувати дію запуску","threadPage.runAction.setup.commandLabel":"Команда для запуску","threadPage.runAction.setup.description":"Поясніть Codex, як установити залежності та запустити програму.","threadPage.runAction.setup.editMore":"Налаштування середовища","threadPage.runAction.setup.placeholder":"наприклад: npm install; npm run","threadPage.runAction.setup.submit":"Зберегти й запустити","threadPage.runAction.setup.title":"Виконується","threadPage.runAction.tooltip.withEnvironment":"Дії {environmentName}","threadPage.toggleDiffPanel":"Увімкнути/вимкнути панель відображення відмінностей","threadPage.toggleTerminal":"Увімкнути/вимкнути термінал","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Відкрити папку","toolSummaryForCmd.exploredFiles":"<verb>Список</verb> файлів","toolSummaryForCmd.exploredFilesInPath":"<verb>Список</verb> файлів у {path}","toolSummaryForCmd.exploringFiles":"<verb>Створення списку</verb> файлів","toolSummaryForCmd.exploringFilesInPath":"<verb>Створення списку</verb> файлів у {path}","toolSummaryForCmd.ranGenericCommand":"<status>Виконано команду</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Виконано</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Прочитано</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Виконується команда</status>{timer}","toolSummaryForCmd.runningTimer":"для {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Виконано пошук</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Виконано пошук</verb> файлів","toolSummaryForCmd.searchedForInPath":"<verb>Виконано пошук</verb> {query} у {path}","toolSummaryForCmd.searchingFor":"<verb>Пошук</verb> за запитом {query}","toolSummaryForCmd.searchingForFiles":"<verb>Пошук</verb> файлів","toolSummaryForCmd.searchingForInPath":"<verb>Пошук</verb> {query} у {path}","traceRecording.details.noteLabel":"Що ви робили, коли це сталося? (необов’язково)","traceRecording.details.notePlaceholder":"Перейшов(-ла) до великого ланцюжка, після чого багаторазово перемикав(-ла) вкладки…","traceRecording.details.submit":"Надіслати трасування","traceRecording.details.subtitle":"Ми можемо надіслати трасування цього профілю, щоб допомогти з діагностикою проблем продуктивності.","traceRecording.details.title":"Надіслати трасування профілю?","traceRecording.progress.subtitle":"Залишайте Codex відкритим, доки процес не завершиться.","traceRecording.saving.title":"Збереження трасування…","traceRecording.startDetails.cancel":"Скасувати","traceRecording.startDetails.submit":"ОК, почати записування","traceRecording.startDetails.subtitle":"Після натискання «ОК» відтворіть проблему з продуктивністю, а потім натисніть рухомий червоний індикатор, щоб зупинити запис і переглянути трасування.","traceRecording.startDetails.title":"Як працює запис трасування","traceRecording.stopButton.ariaLabel":"Зупинити запис трасування","traceRecording.upload.successToast":"Трасування профілю надіслано.","traceRecording.uploading.title":"Передавання трасування…","wham.diff.addComment":"Додати коментар","wham.diff.binaryFile":"Двійковий файл не відображається","wham.diff.noContent":"Немає вмісту","wham.fileTag.deleted":"Видалено","wham.fileTag.new":"Новий","wham.formattedRelativeDateTime.compactDaysAgo":"{value} дн","wham.formattedRelativeDateTime.compactHoursAgo":"{value} год","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} хв","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} міс.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} тиж.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} р.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Здійснюється підготовка завдання","wham.whamProposedTask.title":"Рекомендоване завдання","wham.whamProposedTask.useSuggestion":"Використати рекомендацію","workspaceRootDialog.addError":"Не вдалося додати проєкт","workspaceRootDialog.cancel":"Скасувати","workspaceRootDialog.confirmAdd":"Додати проєкт","workspaceRootDialog.confirmPick":"Використовувати проєкт","workspaceRootDialog.description":"Вкажіть шлях у {host}, який потрібно використати як проєкт.","workspaceRootDialog.pathLabel":"Шлях до проєкту","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Додати шлях до проєкту","workspaceRootDialog.title.pick":"Вибрати шлях до проєкту","worktreeInitV2.cancel":"Скасувати","worktreeInitV2.notification.failedTitle":"Не вдалося налаштувати робоче дерево","worktreeInitV2.output.empty":"Очікування вихідних даних…","worktreeInitV2.status.error":"Не вдалося налаштувати робоче дерево.","worktreeInitV2.status.running":"Створення і налаштування робочого дерева.","worktreeInitV2.status.runningFork":"Створення робочого дерева для форку цієї розмови.","worktreeInitV2.status.success":"Робоче дерево готове.","worktreeInitV2.title":"Створення робочого дерева","worktreeInitV2.workLocallyInstead":"Натомість працювати локально","worktreeRestoreBanner.body":"Робоче дерево цього потоку було видалено для економії місця на диску","worktreeRestoreBanner.missing.body":"Робочий каталог цього потоку більше не існує","worktreeRestoreBanner.missing.title":"Поточний робочий каталог відсутній","worktreeRestoreBanner.restore.error":"Не вдалося відновити робоче дерево: {message}","worktreeRestoreBanner.restore.success":"Робоче дерево відновлено","worktreeRestoreBanner.restoreCta":"Відновити робоче дерево","worktreeRestoreBanner.title":"Робоче дерево очищено"};export{e as default};
+const e={"CopyButton.copyTooltip":"Копіювати","app.sidebar.hide":"Приховати бічну панель","app.sidebar.show":"Показати бічну панель","app.sidebar.tooltip":"Перемкнути бічну панель","appHeader.installUpdate":"Оновити","appSunset.body":"Ця версія програми більше не підтримується. Завантажте останню версію <here>тут</here>.","appSunset.title":"Потрібно встановити оновлення","automation.updateDirective.create":"Створити","automation.updateDirective.open":"Відкрити","automation.updateDirective.untitled":"Автоматизація без назви","automation.updateDirective.update":"Оновити","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# спроба} few {# спроби} many {# спроб} other {# спроби}}","cloudTaskRow.archiveError":"Не вдалось архівувати завдання","code.diff.requestChange":"Надіслати запит на зміну","code.diffComment.cancel":"Скасувати","code.diffComment.comment":"Коментар","code.diffComment.delete":"Видалити","code.diffComment.save":"Зберегти","codeReviewAssistant.location":"{file}:{start}–{end}","codeReviewAssistant.noFindings":"Нічого не знайдено.","codex.alert.closeAriaLabel":"Закрити","codex.appUpsellBanner.cbpApi.message":"Працюйте швидше з програмою Codex. Завантажте зараз або {learnMoreLink}.","codex.appUpsellBanner.download":"Завантаження","codex.appUpsellBanner.freeGo.message":"Codex включено до вашого тарифу до 2 березня. Спробуйте програму Codex, щоб працювати швидше.","codex.appUpsellBanner.later":"Пізніше","codex.appUpsellBanner.learnMoreLowercase":"докладніше","codex.appUpsellBanner.new":"Новий","codex.appUpsellBanner.proPlusBusiness.message":"Спробуйте програму Codex із подвійними лімітами до 2 квітня. Завантажте зараз або {learnMoreLink}.","codex.appUpsellBanner.title":"Програма Codex","codex.applyDropdown.header.changes":"Зміни","codex.applyDropdown.header.fileCount":"{count, plural, one {# файл} few {# файли} many {# файли} other {# файли}}","codex.applyDropdown.header.rows":"рядки","codex.applyDropdown.header.title":"Застосувати зміни","codex.applyDropdown.header.workspace":"Проєкт","codex.applyDropdown.results.conflicted":"{count, plural, one {1 файл спричиняє конфлікт:} few {{count} файли спричиняють конфлікт:} many {{count} файлів спричиняють конфлікт:} other {{count} файлу спричиняють конфлікт:}}","codex.applyDropdown.results.empty":"Не було скопійовано жодного файлу","codex.applyDropdown.results.skipped":"{count, plural, one {1 файл пропущено:} few {{count} файли пропущено:} many {{count} файлів пропущено:} other {{count} файлу пропущено:}}","codex.applyOrRevertBanner.apply":"Застосувати","codex.applyOrRevertBanner.applyMessage":"Застосувати зміни та продовжити локально?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Це завдання було створено в {environment}, тому його застосування може бути не зовсім точним.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Зміни було внесено в {environment}, тому їх застосування може бути не зовсім точним.","codex.applyOrRevertBanner.reapply":"Застосувати заново","codex.applyOrRevertBanner.revert":"Повернути до попереднього стану","codex.applyOrRevertBanner.revertMessage":"Скасувати внесені зміни?","codex.applyResultsDialog.applied":"Успішно застосовано ({count})","codex.applyResultsDialog.close":"Закрити","codex.applyResultsDialog.conflicted":"Конфлікти ({count})","codex.applyResultsDialog.noDetails":"Дані про файл недоступні.","codex.applyResultsDialog.skipped":"Пропущено ({count})","codex.applyResultsDialog.title":"Застосувати результати","codex.archiveInfo":"Перегляньте заархівовані чати в {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Елементи керування даними","codex.archiveInfo.electron":"Перегляньте заархівовані чати в {settingsLink}","codex.archiveInfo.extension":"Перегляньте заархівовані чати у своїй папці .codex.","codex.archiveInfo.settingsLink":"Налаштування","codex.banner.content.description":"Виконуйте кілька завдань одночасно, відстежуйте прогрес будь-де та перевіряйте запити на додавання змін за допомогою ШІ.","codex.banner.content.headline":"Codex уміє все це.","codex.cloudTaskRow.archiveTask":"Архівувати завдання","codex.cloudTaskRow.confirmArchiveTask":"Підтвердити","codex.command.feedback":"Відгук","codex.command.findInThread":"Знайти","codex.command.forceReloadSkills":"Примусово перезавантажити навички","codex.command.logOut":"Вийти","codex.command.manageTasks":"Керувати завданнями","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Назад","codex.command.navigateForward":"Уперед","codex.command.newThread":"Новий ланцюжок","codex.command.nextThread":"Наступний ланцюжок","codex.command.openFolder":"Відкрити папку","codex.command.openSkills":"Перейти до навичок","codex.command.openThreadOverlay":"Відкрити гілку в окремому вікні","codex.command.personalitySettings":"Особистість","codex.command.previousThread":"Попередній ланцюжок","codex.command.settings":"Налаштування","codex.command.toggleDiffPanel":"Увімкнути/вимкнути панель відображення відмінностей","codex.command.toggleSidebar":"Перемкнути бічну панель","codex.command.toggleTerminal":"Увімкнути/вимкнути термінал","codex.commandGroup.app":"Програма","codex.commandGroup.configure":"Налаштувати","codex.commandGroup.navigation":"Навігація","codex.commandGroup.panels":"Панелі","codex.commandGroup.skills":"Навички","codex.commandGroup.thread":"Ланцюжок","codex.commandGroup.workspace":"Проєкт","codex.commandMenu.noResults":"Немає збігів","codex.commandMenu.searchPlaceholder":"Шукати команди","codex.commandMenu.suggestedGroup":"Рекомендовано","codex.commandMenu.switchWorkspace":"Перемкнути проєкт","codex.commandMenu.title":"Меню команд","codex.common.retry":"Повторити спробу","codex.composer.searchBranches":"Пошук розгалужень","codex.dialog.basic.body":"Це просте модальне вікно, яке використовує нашу надбудову для Radix Dialog.","codex.dialog.basic.cancel":"Скасувати","codex.dialog.basic.confirm":"Підтвердити","codex.dialog.basic.open":"Відкрити діалогове вікно","codex.dialog.basic.title":"Зразок діалогового вікна","codex.dialog.long.close":"Закрити","codex.dialog.long.line":"Рядок із прокруткою {index} для показу довгого вмісту всередині діалогового вікна.","codex.dialog.long.open":"Відкрити довге діалогове вікно","codex.dialog.long.title":"Діалогове вікно з довгим умістом","codex.dialog.unstyled.body":"Ця історія показує, як виклики можуть повністю керувати стилізацією вмісту діалогу.","codex.dialog.unstyled.open":"Відкрити нестилізований діалог","codex.dialog.unstyled.title":"Нестилізований уміст","codex.diff.openInEditorPrompt.openButton":"Відкрити в редакторі","codex.diff.openInEditorPrompt.singleLine":"Цей файл завеликий, щоб відобразити його тут.","codex.diffView.failedToDecodeBase64Diff":"Не вдалося розшифрувати відмінності base64","codex.diffView.filesChanged":"{fileCount, plural, one {Змінено # файл} few {Змінено # файли} many {Змінено # файлів} other {Змінено # файлу}}","codex.diffView.imagePreviewAlt":"Попередній перегляд зображення","codex.diffView.imagePreviewEmpty":"Немає зображення","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Немає даних про відмінності","codex.diffView.pdfPreview.nextPage":"Наступна сторінка","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Попередня сторінка","codex.diffView.pdfPreviewEmpty":"Попередній перегляд PDF недоступний","codex.diffView.pdfPreviewError":"Не вдалося відобразити попередній перегляд PDF","codex.diffView.richPreviewDisable":"Вимкнути розширений попередній перегляд","codex.diffView.richPreviewEnable":"Увімкнути розширений попередній перегляд","codex.diffView.richPreviewLoading":"Завантаження попереднього перегляду…","codex.diffView.richPreviewToggle":"Перемкнути розширений попередній перегляд","codex.diffView.switchToUnified":"Показати об’єднані відмінності","codex.environmentSelector.noEnvironment":"Немає середовища","codex.environments.environmentSettings":"Налаштування середовища","codex.environments.learnMore":"Докладніше","codex.environments.listError":"Не вдалося завантажити середовища.","codex.environments.noEnvironmentsFound":"Не вдалося знайти середовище","codex.environments.searchError":"Не вдалося виконати пошук середовищ.","codex.errorBoundary.genericError":"Сталася помилка","codex.errorBoundary.goHome":"Повторити спробу","codex.file.patch.missing":"Не вдалося створити виправлення для цього файлу.","codex.gallery.automations.cwdLabel":"Проєкти","codex.gallery.automations.nameLabel":"Ім’я","codex.gallery.automations.namePlaceholder":"Узагальнити завдання","codex.gallery.automations.promptLabel":"Запит","codex.gallery.automations.promptPlaceholder":"Опишіть, що має робити Codex","codex.gallery.dialogs.automation.label":"Діалог автоматизації","codex.gallery.dialogs.basic.body":"Використовуйте цей макет для простих підтверджень або коротких форм.","codex.gallery.dialogs.basic.cancel":"Скасувати","codex.gallery.dialogs.basic.confirm":"Підтвердити","codex.gallery.dialogs.basic.label":"Базове діалогове вікно","codex.gallery.dialogs.basic.title":"Зразок діалогового вікна","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Опишіть проблему","codex.gallery.dialogs.feedbackSubmission.bad":"Поганий результат","codex.gallery.dialogs.feedbackSubmission.bug":"Помилка","codex.gallery.dialogs.feedbackSubmission.good":"Хороший результат","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Додати журнали поточного сеансу Codex","codex.gallery.dialogs.feedbackSubmission.label":"Надсилання відгуку","codex.gallery.dialogs.feedbackSubmission.other":"Інше","codex.gallery.dialogs.feedbackSubmission.placeholder":"Опишіть проблему тут","codex.gallery.dialogs.feedbackSubmission.submit":"Надіслати","codex.gallery.dialogs.feedbackSubmission.title":"Відгук","codex.gallery.dialogs.feedbackSuccess.body":"Відгук передано. Якщо проблема не зникне, створіть запит на GitHub або згадайте ідентифікатор ланцюжка в уже відкритому запиті:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Відхилити","codex.gallery.dialogs.feedbackSuccess.label":"Відгук успішно надіслано","codex.gallery.dialogs.feedbackSuccess.title":"Відгук передано","codex.gallery.dialogs.gitApplyResults.applied":"Застосовано без конфліктів (2)","codex.gallery.dialogs.gitApplyResults.close":"Закрити","codex.gallery.dialogs.gitApplyResults.conflicted":"Конфлікти (1)","codex.gallery.dialogs.gitApplyResults.label":"Застосувати результати","codex.gallery.dialogs.gitApplyResults.title":"Застосувати результати","codex.gallery.dialogs.gitPushError.body":"Отримайте останні зміни або виконайте примусове надсилання, якщо ви впевнені, що історію у віддаленому репозиторії можна безпечно перезаписати.","codex.gallery.dialogs.gitPushError.cancel":"Скасувати","codex.gallery.dialogs.gitPushError.force":"Примусово надіслати зміни","codex.gallery.dialogs.gitPushError.label":"Помилка надсилання","codex.gallery.dialogs.gitPushError.subtitle":"Ваша гілка відстає від origin/main.","codex.gallery.dialogs.gitPushError.title":"Не вдалось надіслати зміни","codex.gallery.dialogs.gitRevert.cancel":"Скасувати","codex.gallery.dialogs.gitRevert.confirm":"Повернути до попереднього стану","codex.gallery.dialogs.gitRevert.label":"Скасувати зміни","codex.gallery.dialogs.gitRevert.skip":"Більше не запитувати","codex.gallery.dialogs.gitRevert.subtitle":"Виконання цієї дії призведе до видалення всіх змін.","codex.gallery.dialogs.gitRevert.title":"Скасувати зміни?","codex.gallery.dialogs.longForm.label":"Діалог із розгорнутим умістом","codex.gallery.dialogs.proseModal.body":"Цей модальний стиль використовується для довших інструкцій, початкового ознайомлення або насичених умістом блоків.","codex.gallery.dialogs.proseModal.close":"Закрити","codex.gallery.dialogs.proseModal.subtitle":"Розміщуйте тут розгорнуті інструкції або документацію.","codex.gallery.dialogs.proseModal.title":"Модальний режим із текстовим умістом","codex.gallery.dialogs.submitBlocked.label":"Надсилання заблоковано","codex.gallery.dialogs.submitBlocked.message":"Не вдалося надіслати повідомлення, оскільки проєкт недоступний.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Не вдалося надіслати повідомлення","codex.gallery.dialogs.title":"Діалоги","codex.gallery.dropdown.filterPlaceholder":"Фільтрувати елементи","codex.gallery.dropdowns.actionRow":"Рядки дій","codex.gallery.dropdowns.actionRow.disabled":"Неактивна дія","codex.gallery.dropdowns.actionRow.primary":"Основна дія","codex.gallery.dropdowns.actionRow.secondary":"Додаткова дія","codex.gallery.dropdowns.actionRow.trigger":"Показати дії","codex.gallery.dropdowns.basic":"Базовий розкривний список","codex.gallery.dropdowns.basic.newFile":"Новий файл","codex.gallery.dropdowns.basic.newFolder":"Нова папка","codex.gallery.dropdowns.basic.openSettings":"Відкрити налаштування","codex.gallery.dropdowns.basic.title":"Швидкі дії","codex.gallery.dropdowns.basic.trigger":"Відкрити меню","codex.gallery.dropdowns.basic.upload":"Передати","codex.gallery.dropdowns.panel":"Поверхня панелі","codex.gallery.dropdowns.panel.apply":"Застосувати","codex.gallery.dropdowns.panel.body":"Перегляньте відмінності та застосуйте їх до свого проєкту.","codex.gallery.dropdowns.panel.preview":"Попередній перегляд","codex.gallery.dropdowns.panel.title":"Застосувати зміни","codex.gallery.dropdowns.panel.trigger":"Відкрити панель","codex.gallery.dropdowns.search":"Розкривний список із пошуком","codex.gallery.dropdowns.search.first":"Альфа-канал","codex.gallery.dropdowns.search.second":"Бета-гілка","codex.gallery.dropdowns.search.third":"Кандидат на випуск","codex.gallery.dropdowns.search.trigger":"Фільтрувати елементи","codex.gallery.dropdowns.submenu":"Розкривний список із підменю","codex.gallery.dropdowns.submenu.optionA":"Проєкт альфа","codex.gallery.dropdowns.submenu.optionB":"Проєкт бета","codex.gallery.dropdowns.submenu.optionC":"Проєкт гамма","codex.gallery.dropdowns.submenu.primary":"Призначити власника","codex.gallery.dropdowns.submenu.secondary":"Перемістити до","codex.gallery.dropdowns.submenu.tertiary":"Архівувати","codex.gallery.dropdowns.submenu.trigger":"Виберіть дію","codex.gallery.dropdowns.title":"Розкривні списки","codex.gallery.inbox.automations.close":"Закрити","codex.gallery.inbox.automations.popover.cardTitle":"Керувати автоматизаціями","codex.gallery.inbox.automations.popover.dialogTitle":"Керувати автоматизаціями","codex.header.settingsTooltip":"Налаштування","codex.hunk.patch.error":"Не вдалось підготувати","codex.hunk.patch.missing":"Не вдалося створити виправлення для цього фрагмента.","codex.hunk.patch.partialSuccess":"Частково виконано","codex.hunk.patch.revertError":"Не вдалося скасувати підготовку","codex.hunk.patch.revertSuccess":"Підготовку скасовано","codex.hunk.patch.success":"Підготовано","codex.legal.autonomy.details":"Докладну інформацію див. за посиланням {link}","codex.legal.autonomy.details.link":"Документи Codex","codex.legal.autonomy.title":"Оберіть рівень автономії, який ви хочете надати","codex.legal.backButton":"Назад","codex.legal.cloud.taskOne.meta":"openai/agi · 12 жовтня","codex.legal.cloud.taskOne.title":"Поясніть новому розробнику, що таке сховище","codex.legal.cloud.taskThree.meta":"openai/codex · 8 жовтня","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Створіть темну тему","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 жовтня","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Виправте помилку в процесі ознайомлення","codex.legal.continue.apikey":"Продовжити","codex.legal.continueButton":"Далі","codex.legal.copilot.details":"Усі запити до моделей, тарифікація та ліміти відповідно до вашого плану Copilot. {oaiTos} і {gitHubTos} регулюють використання розширення Codex.","codex.legal.copilot.gitHubTosLink":"Умови обслуговування GitHub","codex.legal.copilot.oaiTosLink":"Умови обслуговування OpenAI Codex","codex.legal.copilot.title":"На платформі GitHub Copilot","codex.legal.mistakes.review":"Перевірити створений код і виконані команди","codex.legal.mistakes.title":"Codex може помилятися.","codex.legal.powered.details":"Ліміти і {link} відповідно до вашого плану.","codex.legal.powered.details.link":"дозволи щодо використання даних для навчання","codex.legal.powered.title":"На базі вашого облікового запису ChatGPT","codex.legal.step.cloud.subtitle":"Виконуйте завдання у фоновому режимі в Codex, щоб зосередитися та працювати швидше.","codex.legal.step.cloud.title":"Передача в Codex у хмарі","codex.legal.step.intro.subtitle":"Codex переміщується, редагує, виконує команди й тести безпосередньо у вашому сховищі, використовуючи ваш обліковий запис ChatGPT.","codex.legal.step.intro.title":"Codex у вашому інтегрованому середовищі розробки","codex.legal.step.todo.subtitle":"Додайте коментар TODO й одним дотиком перетворіть його на завдання Codex.","codex.legal.step.todo.title":"Перетворення коментарів TODO на завдання Codex","codex.legal.todo.heading":"// TODO: упровадити схему","codex.localConversation.closeImagePreview":"Закрити попередній перегляд зображення","codex.localConversation.userImageAttachment":"Вкладення користувача","codex.localTaskRow.archiveTask":"Архівувати ланцюжок","codex.localTaskRow.awaitingApproval":"Очікує схвалення","codex.localTaskRow.awaitingResponse":"Очікується відповідь","codex.localTaskRow.confirmArchiveTask":"Підтвердити","codex.loggedOut.apiKeyPrompt.cancel":"Скасувати","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Отримати ключ API","codex.loggedOut.apiKeyPrompt.inputLabel":"Уведіть свій ключ OpenAI API","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Завдання в хмарі недоступні з ключем API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Завдання в хмарі недоступні з Copilot і ключем API","codex.loggedOut.signIn":"Увійти за допомогою ChatGPT","codex.loggedOut.signIn.cancel":"Скасувати вхід","codex.loggedOut.signInWithCopilot":"Увійти за допомогою GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Використати ключ API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} інструмент MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Викликано","codex.mcpTool.collapsedLabel.verb.calling":"Здійснюється виклик","codex.mcpTool.embeddedResource.contentLabel":"Уміст","codex.mcpTool.embeddedResource.mimeTypeLabel":"Тип MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Інструмент не повернув умісту","codex.mcpTool.rawPayloadHeading":"Необроблені дані виклику інструмента {server}.{tool}","codex.menu.recent":"Нещодавні","codex.menu.seeAllHistory":"Показати всю історію","codex.modelCapacityBanner.headline.noReset":"{modelName} зараз перевантажено. Повторіть спробу пізніше або розпочніть нову розмову з іншою моделлю.","codex.modelCapacityBanner.headline.withReset":"{modelName} зараз перевантажено. Повторіть спробу після {resetDate} або розпочніть нову розмову з іншою моделлю.","codex.modelCapacityBanner.title":"Вибрана модель перевантажена","codex.patch.change.contentsDeleted":"Уміст видалено","codex.patch.change.created":"Створено","codex.patch.change.created-file":"Файл створено","codex.patch.change.creating":"Створення","codex.patch.change.deleted":"Видалено","codex.patch.change.deleted-file":"Файл видалено","codex.patch.change.deleting":"Видалення","codex.patch.change.edited":"Відредаговано","codex.patch.change.edited-file":"Відредагований файл","codex.patch.change.editing":"Редагувати","codex.patch.change.noChanges":"Немає змін","codex.patch.change.rejected-add":"Відхилено","codex.patch.change.rejected-delete":"Відхилено","codex.patch.change.rejected-edit":"Відхилено","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"Виконано завдань: {completed} з {total}","codex.plan.todoListCreated":"Створений список справ містить стільки завдань ({total})","codex.profileDropdown.apiKeyAuth":"Вхід виконано за допомогою ключа API","codex.profileDropdown.codexSettings":"Налаштування Codex","codex.profileDropdown.copilotAuth":"Вхід виконано за допомогою Copilot","codex.profileDropdown.defaultAccountTitle":"Обліковий запис за замовчуванням","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter для надсилання довгих запитів","codex.profileDropdown.enterBehaviorError":"Не вдалось оновити налаштування","codex.profileDropdown.getPlus":"Підвищте рівень плану, щоб отримати більші ліміти","codex.profileDropdown.keyboardShortcuts":"Сполучення клавіш","codex.profileDropdown.language":"Мова","codex.profileDropdown.languageDefault":"Автовизначення","codex.profileDropdown.languageSearchPlaceholder":"Шукати мови","codex.profileDropdown.languageUpdateError":"Не вдалось оновити мову","codex.profileDropdown.logOut":"Вийти","codex.profileDropdown.mcp":"Налаштування МСР","codex.profileDropdown.openConfigToml":"Відкрити config.toml","codex.profileDropdown.openConfigToml.wsl":"Відкрити config.toml у середовищі WSL","codex.profileDropdown.openExtensionSettings":"Відкрити налаштування","codex.profileDropdown.openMcpSettings":"Відкрити налаштування МСР","codex.profileDropdown.openOnStartup":"Відкрити при запуску","codex.profileDropdown.openOnStartupError":"Не вдалось оновити налаштування","codex.profileDropdown.openSkillsSettings":"Відкрити налаштування навичок","codex.profileDropdown.personalAccountTitle":"Особистий обліковий запис","codex.profileDropdown.queueFollowUps":"Помістити подальші дії в чергу","codex.profileDropdown.queueFollowUpsError":"Не вдалось оновити налаштування","codex.profileDropdown.readDocs":"Читати документи","codex.profileDropdown.readSkillsDocs":"Читати документи","codex.profileDropdown.runInWsl":"Виконати в WSL","codex.profileDropdown.runInWslError":"Не вдалось оновити налаштування","codex.profileDropdown.runInWslTooltip":"Codex запускається у WSL. Рекомендується для кращого захисту й вищої продуктивності ізольованого середовища.","codex.profileDropdown.settings":"Налаштування IDE","codex.profileDropdown.settingsPage":"Налаштування","codex.profileDropdown.signInWithOpenAI":"Увійти за допомогою ChatGPT","codex.profileDropdown.skills":"Налаштування навичок","codex.profileDropdown.switchToCopilotAccount":"Використати обліковий запис Copilot","codex.profileDropdown.switchToOpenAIAccount":"Використати обліковий запис OpenAI","codex.profileDropdown.todoCodelens":"Виправити коментарі TODO","codex.profileDropdown.todoCodelensError":"Не вдалось оновити налаштування","codex.profileDropdown.windowsDocumentation":"Документація для Windows","codex.profileFooter.signedInFallback":"Налаштування","codex.profileFooter.upgrade":"Підвищити рівень","codex.recentTasksMenu.clearSearch":"Очистити умови пошуку","codex.recentTasksMenu.cloud":"Хмарні завдання","codex.recentTasksMenu.count":"{count, plural, =0 {Не виконується жодне завдання} one {Виконується # завдання} few {Виконується # завдання} many {Виконується # завдань} other {Виконується # завдання}}","codex.recentTasksMenu.empty":"Поки немає ланцюжків","codex.recentTasksMenu.errorCloud":"Не вдалося завантажити завдання.","codex.recentTasksMenu.errorCloud.inline":"Не вдалося завантажити хмарні завдання.","codex.recentTasksMenu.filterAll":"Усі","codex.recentTasksMenu.filterCloudTasks":"Фільтрувати хмарні завдання","codex.recentTasksMenu.filterTooltip":"Фільтрувати завдання за середовищем","codex.recentTasksMenu.local":"Локальні завдання","codex.recentTasksMenu.recent":"Усі завдання","codex.recentTasksMenu.search":"Шукати нещодавні завдання","codex.recentTasksMenu.searchEmpty":"Немає результатів","codex.recentTasksMenu.tooltip":"Історія завдань","codex.recentTasksMenu.trigger":"Нещодавні завдання. {count, plural, one {# виконується} few {# виконуються} many {# виконуються} other {# виконуються}}","codex.remoteConversation.applyDiff.applyCta":"Застосувати зміни","codex.remoteConversation.applyDiff.dropdownTitle":"Застосувати зміни до локального розгалуження","codex.remoteConversation.applyDiff.revertCta":"Скасувати зміни","codex.remoteConversation.closeImagePreview":"Закрити попередній перегляд зображення","codex.remoteConversation.codexCloudTask":"Ви переглядаєте<u> хмарне завдання Codex</u>","codex.remoteConversation.errorWithMessage":"Помилка: {message}","codex.remoteConversation.loadingImage":"Завантаження зображення","codex.remoteConversation.openInWeb":"Відкрити на вебсторінці","codex.remoteConversation.streaming":"Розпочато","codex.remoteConversation.turnFailed":"Під час завантаження цього завдання сталася помилка","codex.remoteConversation.turnTab.loading":"Спроба {number}","codex.remoteConversation.turnTab.title":"Спроба {number}","codex.remoteConversation.userImageAttachment":"Вкладення користувача","codex.remoteConversation.viewPreviousTurns":"Відкрити на вебсторінці","codex.remoteConversation.viewPreviousTurns.buttonText":"Відкрити","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Відкрити на вебсторінці","codex.review.copyGitApplyCommand":"Копіювати команду git apply","codex.review.copyGitApplyCommand.toast":"Команду git apply скопійовано в буфер обміну","codex.review.diffTooLarge.description":"Ці відмінності занадто великі для відображення в режимі попереднього перегляду.","codex.review.diffTooLarge.title":"Відмінності завеликі для відображення","codex.review.expandOrCollapseDiffButton.collapse":"Згорнути всі відмінності","codex.review.expandOrCollapseDiffButton.expand":"Розгорнути всі відмінності","codex.review.expandOrCollapseDiffMenu.collapse":"Згорнути всі відмінності","codex.review.expandOrCollapseDiffMenu.expand":"Розгорнути всі відмінності","codex.review.fileSearch.clear":"Очистити фільтр файлів","codex.review.fileSearch.empty":"Немає файлів, що відповідають поточному фільтру.","codex.review.fileSearch.label":"Фільтрувати файли","codex.review.fileSearch.placeholder":"Фільтрувати файли…","codex.review.filesChanged":"{num, plural, =0 {Не змінено жодного файлу} one {Змінено # файл} few {Змінено # файлу} many {Змінено # файлу} other {Змінено # файлу}}","codex.review.find.loadMore":"Завантажити більше збігів","codex.review.fullReview.hideFileTree":"Приховати дерево файлів","codex.review.fullReview.showFileTree":"Показати дерево файлів","codex.review.header.moreOptions":"Параметри перегляду","codex.review.largeDiff.banner":"Виявлено великі відмінності — показується по одному файлу за раз.","codex.review.loadFullFiles.disable":"Не завантажувати файли повністю","codex.review.loadFullFiles.enable":"Завантажувати файли повністю","codex.review.noDiff":"Зміни файлів з’являтимуться тут","codex.review.noDiff.gitInit.createRepository":"Створити репозиторій Git","codex.review.noDiff.gitInit.creating":"Створення…","codex.review.noDiff.gitInit.error":"Не вдалося ініціалізувати Git: {message}","codex.review.noDiff.gitInit.success":"Репозиторій Git створено","codex.review.noDiff.gitRepoRequired.description":"Відстежуйте та скасовуйте зміни в цьому проєкті","codex.review.noDiff.gitRepoRequired.title":"Створити репозиторій Git","codex.review.noDiff.orNoLongerAvailable":"або останні відмінності вже недоступні","codex.review.noDiff.reverted":"Останній хід було скасовано","codex.review.noDiff.revertedOrCommitted":"Останній хід було скасовано або зафіксовано","codex.review.refreshGitQueries":"Оновити","codex.review.revert.file.error":"Не вдалося повернути {path} до попереднього стану","codex.review.revert.file.partialSuccess":"{path} частково повернуто до попереднього стану","codex.review.revert.file.success":"{path} повернуто до попереднього стану","codex.review.revert.hunk.error":"Не вдалося повернути до попереднього стану фрагмент {hunkNumber} у {path}","codex.review.revert.hunk.partialSuccess":"Фрагмент {hunkNumber} у {path} частково повернуто до попереднього стану","codex.review.revert.hunk.success":"Фрагмент {hunkNumber} у {path} повернуто до попереднього стану","codex.review.revert.section.error":"Не вдалося повернути розділ до попереднього стану","codex.review.revert.section.partialSuccess":"Розділ частково повернуто до попереднього стану","codex.review.revert.section.success":"Розділ повернуто до попереднього стану","codex.review.revertDialog.cancel":"Скасувати","codex.review.revertDialog.confirm":"Підтвердити","codex.review.revertDialog.message":"Виконання цієї дії призведе до видалення всіх змін.","codex.review.revertDialog.skip":"Більше не запитувати","codex.review.revertDialog.title":"Скасувати зміни?","codex.review.richPreview.disable":"Вимкнути розширений попередній перегляд","codex.review.richPreview.enable":"Увімкнути розширений попередній перегляд","codex.review.source.cloud":"Зміни в хмарі","codex.review.source.local.all":"Усі зміни розгалуження","codex.review.source.local.lastTurn":"Зміни під час останнього ходу","codex.review.source.local.uncommitted":"Незастосовані зміни","codex.review.source.worktree":"Незафіксовані зміни в робочому дереві","codex.review.stageFilter.empty.staged.description":"Прийняти зміни для подальшого застосування","codex.review.stageFilter.empty.staged.title":"Немає підготованих змін","codex.review.stageFilter.empty.unstaged.description":"Зміни коду з’являться тут","codex.review.stageFilter.empty.unstaged.title":"Немає непідготованих змін","codex.review.stageFilter.staged":"Підготовані","codex.review.stageFilter.staged.count":"Підготовані · {count}","codex.review.stageFilter.unstaged":"Непідготовані","codex.review.stageFilter.unstaged.count":"Непідготовані · {count}","codex.review.switchToSplit":"Показати усереднені відмінності","codex.review.switchToUnified":"Показати об’єднані відмінності","codex.review.toggleDiffView":"Змінити формат відображення відмінностей","codex.review.wordDiffs.disable":"Вимкнути відмінності між словами","codex.review.wordDiffs.enable":"Увімкнути відмінності між словами","codex.review.wrap.disable":"Вимкнути перенесення рядків","codex.review.wrap.enable":"Увімкнути перенесення рядків","codex.section.patch.missing":"Не вдалося створити виправлення для цього розділу.","codex.shell.collapse":"Згорнути програмну оболонку","codex.shell.commandLine":"{command} дол. США","codex.shell.copy.copiedTooltip":"Скопійовано вміст програмної оболонки","codex.shell.copy.copyTooltip":"Копіювати вміст програмної оболонки","codex.shell.copyCommand":"Копіювати команду","codex.shell.copyOutput":"Копіювати результат","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Розгорнути програмну оболонку","codex.shell.name":"Програмна оболонка","codex.shell.noOutput":"Немає результату","codex.signInFailed.message":"Помилка входу: {rawMessage}","codex.stories.toast.show":"Показати спливне сповіщення","codex.stories.tooltip.basic":"Це підказка","codex.stories.tooltip.hoverMe":"Наведи курсор на мене","codex.stories.tooltip.largerOffset":"Ця підказка має більший відступ","codex.stories.tooltip.offsetButton":"Більший відступ","codex.stories.tooltip.shortcutButton":"Зі сполученням клавіш","codex.stories.tooltip.withShortcut":"Увімкнути/вимкнути термінал","codex.taskRow.title":"Новий ланцюжок","codex.taskRowLayout.confirm":"Підтвердити","codex.threadFindBar.chatFilter":"Шукати в чаті","codex.threadFindBar.close":"Закрити пошук","codex.threadFindBar.diffFilter":"Шукати відмінності","codex.threadFindBar.label":"Знайти в ланцюжку","codex.threadFindBar.nextResult":"Наступний результат","codex.threadFindBar.noResults":"0 результатів","codex.threadFindBar.placeholder":"Шукати в ланцюжку…","codex.threadFindBar.placeholder.extension":"Шукати в ланцюжку…","codex.threadFindBar.placeholder.review":"Шукати відмінність…","codex.threadFindBar.placeholder.review.extension":"Шукати відмінність…","codex.threadFindBar.previousResult":"Попередній результат","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {Змінено # файл} few {Змінено # файли} many {Змінено # файлів} other {Змінено # файлу}}","codex.unifiedDiff.inlineLargeFile":"Занадто великий для вбудованого відображення","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Скасувати дію","codex.unifiedDiff.revertPatchError":"Не вдалося скасувати зміни","codex.unifiedDiff.revertPatchSuccess":"Зміни скасовано","codex.unifiedDiff.reviewChangesSuffix":"зміни","codex.unifiedDiff.reviewShort":"Переглянути","codex.unifiedDiff.viewDiffTooltip":"Відгук","codex.upsellBanner.business.headline":"Щоб отримати доступ зараз, надішліть запит своєму адміністратору або зачекайте до {resetDate}.","codex.upsellBanner.cbp.headline":"Щоб отримати доступ зараз, надішліть запит своєму адміністратору.","codex.upsellBanner.cta.addCredits":"Додати кредити","codex.upsellBanner.cta.upgradeAccount":"Підвищити рівень","codex.upsellBanner.cta.viewUsage":"Переглянути дані про використання","codex.upsellBanner.free.trialHeadline":"Ліміт запитів буде скинуто {resetDate}. Щоб і надалі користуватися Codex і отримати доступ до GPT-5.3 Codex, розпочніть безкоштовну пробну версію Plus уже сьогодні.","codex.upsellBanner.freeOrGo.headline":"Ліміт запитів буде скинуто {resetDate}. Щоб продовжити користування Codex, підвищте рівень плану до Plus уже сьогодні.","codex.upsellBanner.general.headline":"Ліміт запитів буде скинуто {resetDate}.","codex.upsellBanner.general.title":"Ви вичерпали ліміт на повідомлення Codex","codex.upsellBanner.go.trialHeadline":"Ваш ліміт буде скинуто {resetDate}. Щоб і далі користуватися Codex, почніть безкоштовний пробний період Plus уже сьогодні.","codex.upsellBanner.plus.headline":"Ліміт запитів буде скинуто {resetDate}. Щоб продовжити користування Codex, додайте кредити або підвищте рівень плану до Pro вже сьогодні.","codex.upsellBanner.pro.headline":"Ліміт запитів буде скинуто {resetDate}. Додайте кредити, щоб продовжити користування Codex уже зараз.","codex.userMessage.autoResolveSync":"Автоматично усунути конфлікти","codex.userMessage.commentCount":"{count, plural, one {# коментар} few {# коментарів} many {# коментарів} other {# коментарів}}","codex.userMessage.copiedAriaLabel":"Скопійовано","codex.userMessage.copiedTooltip":"Скопійовано","codex.userMessage.copyAriaLabel":"Копіювати повідомлення","codex.userMessage.copyTooltip":"Копіювати","codex.userMessage.implementPlan":"Реалізувати план","codex.userMessage.noContent":"(Немає вмісту)","codex.userMessage.priorConversation":"Посилається на попередню розмову","codex.userMessage.reviewMode":"Режим перевірки","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"для {query}","codex.webSearch.summary.verb.completed":"Виконано пошук в інтернеті","codex.webSearch.summary.verb.inProgress":"Виконується пошук в інтернеті","codex.windowsInstallWslBanner.dismiss":"Відхилити","codex.windowsInstallWslBanner.installWslCta":"Увімкнути пісочницю","codex.windowsInstallWslBanner.learnMore":"Докладніше","codex.windowsSandboxBanner.content":"У режимі агента застосовується експериментальна пісочниця у Windows, щоб обмежити доступ до файлової системи й мережі. {sandboxLink}","codex.windowsSandboxBanner.title":"Увімкнути пісочницю для режиму агента","codex.windowsSubDropdown.windowsSandbox":"Пісочниця Windows ","codex.windowsSubDropdown.windowsSettings":"Налаштування Windows","codexUpgradeModal.body":"Наша найновіша модель-агент для створення коду — розумніша, швидша й потужніша для загальних технічних завдань: {link}","codexUpgradeModal.close":"Закрити","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Докладніше","codexUpgradeModal.title":"Представляємо GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Спробуйте GPT-5.3 Codex зараз","codexUpgradeModal.useExistingModel":"Використовувати поточну модель","commentAttachments.numComments":"{count, plural, one {# коментар} few {# коментарі} many {# коментарів} other {# коментаря}}","commentAttachments.removeAriaLabel":"Видалити вкладення до коментаря","common.close":"Закрити","composer.addContext.openFilePickerError":"Не вдалося відкрити засіб вибору файлів","composer.addContextDropdown.ariaLabel":"Додавайте файли й виконуйте інші дії","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Додавайте файли й виконуйте інші дії","composer.addPhotosAndFiles":"Додати світлини та файли","composer.atMentionList.emptyQuery":"Уведіть запит для пошуку файлів","composer.atMentionList.loading":"Триває пошук…","composer.atMentionList.noResults":"Немає результатів","composer.attemptsSelector.option":"{count, plural, one {# версія} few {# версії} many {# версій} other {# версії}}","composer.attemptsSelector.tooltip":"Кількість одночасних спроб Codex","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Зупинити","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"Локально","composer.cloudFollowUp.whereRun":"Де має виконуватися цей додатковий запит?","composer.cloudTaskCreationError":"Помилка під час створення хмарного завдання","composer.cloudTaskError":"Помилка створення завдання","composer.contextWindow.autoCompactionTooltipLine1":"Codex автоматично стискає контекст","composer.contextWindow.usagePercent":"{usage} %","composer.contextWindowUsageLabel":"Контекстне вікно:","composer.contextWindowUsageStatusFull":"Заповнено на {usage} %","composer.contextWindowUsageStatusLeft":"Використано {usage} % (залишилося {remaining} %)","composer.contextWindowUsageTooltip":"Використано токенів: {usedTokens}000 з {contextWindow}000","composer.customCliTooltip":"Використовується спеціальний виконуваний файл CLI","composer.dictation.aria":"Диктувати","composer.dictation.cancel.aria":"Зупинити диктування","composer.dictation.cancel.tooltip":"Зупинити диктування","composer.dictation.startError":"Не вдалося розпочати диктування","composer.dictation.submit.aria":"Транскрибувати й надіслати","composer.dictation.submit.tooltip":"Транскрибувати й надіслати","composer.dictation.tooltip":"Утримуйте, щоб диктувати","composer.dictation.transcribeError":"Не вдалося транскрибувати аудіо","composer.dictation.unsupported":"Диктування недоступне на цьому пристрої","composer.dropOverlay.holdShift":"Утримуйте {key}, щоб перетягнути","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Створити нове","composer.environmentSelector.error":"Помилка завантаження середовищ","composer.environmentSelector.goBack":"Повернутися в компонувальник","composer.environmentSelector.title":"Виберіть середовище","composer.environmentSelector.tooltip":"Виберіть хмарне середовище","composer.feedbackSlashCommand.title":"Відгук","composer.filePicker.selectFile":"Вибір файлу","composer.filePicker.selectFiles":"Вибір файлів","composer.followerTooltip":"Щоб продовжити, поверніться у вікно, де почалася ця розмова.","composer.footer.branchSwitch.checkoutError":"Не вдалося перемкнути гілку: {message}","composer.footer.branchSwitch.createAndCheckout":"Створити й перейти до нової гілки…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Зафіксуйте зміни, щоб створити нову гілку й перейти до неї","composer.footer.branchSwitch.createBranchError":"Не вдалося створити гілку: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Назва розгалуження","composer.footer.branchSwitch.createDialog.branchExistsError":"Гілка вже існує","composer.footer.branchSwitch.createDialog.close":"Закрити","composer.footer.branchSwitch.createDialog.createAndCheckout":"Створити та перейти","composer.footer.branchSwitch.createDialog.placeholder":"нова гілка","composer.footer.branchSwitch.createDialog.title":"Створити та перейти до гілки","composer.footer.branchSwitch.createDialog.trailingSlashError":"Назва гілки не може закінчуватися символом «/».","composer.footer.branchSwitch.tooltip":"Перемкнути гілку","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Зафіксувати зміни в {fileCount, plural, one {# файл} few {# файли} many {# файли} other {# файли}}, щоб узяти на редагування гілку {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Зафіксувати","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"зміни в {fileCount, plural, one {# файл} few {# файли} many {# файли} other {# файли}}, щоб узяти на редагування гілку {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Скасувати","composer.footer.branchSwitch.uncommittedDialog.commit":"Зафіксувати зміни й перемкнути гілку…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Унаслідок установлення контролю ваші зміни в цих файлах буде перезаписано:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Зафіксуйте свої зміни, щоб продовжити","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"вибрану гілку","composer.footer.branchSwitch.uncommittedDialog.title":"Зафіксуйте зміни, щоб перемкнути гілку","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Незафіксовані зміни: {fileCount, plural, one {# файл} few {# файли} many {# файли} other {# файли}}","composer.forkSlashCommand.description":"Створити форк цього ланцюжка локально або в новому робочому дереві","composer.forkSlashCommand.option.local.description":"Продовжити в новому локальному ланцюжку","composer.forkSlashCommand.option.local.title":"Створити форк локально","composer.forkSlashCommand.option.worktree.description":"Продовжити в новому робочому дереві","composer.forkSlashCommand.option.worktree.title":"Створити форк у новому робочому дереві","composer.forkSlashCommand.title":"Створити розгалуження","composer.ideContextIndicator":"Контекст IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Додати контекст з IDE","composer.ideContextIndicator.tooltipToggle":"для перемикання","composer.ideContextSlashCommand.disableDescription":"Вимкнути контекст IDE","composer.ideContextSlashCommand.enableDescription":"Додати поточне виділення, відкриті файли та інший контекст із вашої IDE","composer.ideContextSlashCommand.title":"Контекст IDE","composer.imageInputsUnsupported":"Ця модель не підтримує введення зображень. Спробуйте іншу модель.","composer.imageUploadFailed":"Не вдалося передати зображення","composer.includeIdeContextDropdown":"Додати контекст IDE","composer.includeIdeContextDropdown.ariaLabel":"Додати контекст IDE","composer.localCwdDropdown.addWorkspaceRoot":"Додати новий проєкт","composer.localCwdDropdown.noActiveRoot":"Виберіть свій проєкт","composer.localCwdDropdown.noResults":"Не знайдено папок","composer.localCwdDropdown.title":"Виберіть свій проєкт","composer.localTaskError":"Помилка під час запуску розмови","composer.mcpSlashCommand.description":"Показати стан сервера MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Не автентифіковано","composer.mcpStatus.authOauth":"Автентифіковано (OAuth)","composer.mcpStatus.authToken":"Автентифіковано (ключ API)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Закрити","composer.mcpStatus.disabled":"Вимкнено","composer.mcpStatus.emptyLabel":"Сервери:","composer.mcpStatus.emptyValue":"Сервери MCP не налаштовано","composer.mcpStatus.enabled":"Увімкнено","composer.mcpStatus.errorLabel":"Стан:","composer.mcpStatus.errorValue":"Не вдалося завантажити стан MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Агент","composer.mode.agentMode.auto.dropdownLabel":"Агент","composer.mode.agentMode.auto.optionLabel":"Агент","composer.mode.agentMode.changePermission":"Змінити режим","composer.mode.agentMode.custom":"Користувацький","composer.mode.agentMode.custom.dropdownLabel":"Користувацький","composer.mode.agentMode.custom.option":"Користувацький (config.toml)","composer.mode.agentMode.custom.optionLabel":"Користувацький (config.toml)","composer.mode.agentMode.customInfo.cancel":"Скасувати","composer.mode.agentMode.customInfo.cli":"Ви можете налаштувати ці параметри через CLI або безпосередньо у файлі.","composer.mode.agentMode.customInfo.confirm":"Використовувати користувацький режим","composer.mode.agentMode.customInfo.description":"У користувацькому режимі застосовуються правила підтвердження й ізоляції, визначені у вашому <link>файлі</link> config.toml.","composer.mode.agentMode.customInfo.docs":"Докладніше про налаштування правил підтвердження й ізоляції читайте в <link>документації середовища виконання</link>.","composer.mode.agentMode.customInfo.refresh":"Усі зміни набирають чинності під час наступного запуску агента.","composer.mode.agentMode.customInfo.title":"Як працює користувацький режим","composer.mode.agentMode.fullAccess":"Агент (повний доступ)","composer.mode.agentMode.fullAccess.dropdownLabel":"Агент (повний доступ)","composer.mode.agentMode.fullAccess.optionLabel":"Агент (повний доступ)","composer.mode.agentMode.fullAccessConfirm.caution":"Будьте обережні, вмикаючи повний доступ. Це значно підвищує ризик втрати й витоку даних, а також непередбачуваної поведінки.","composer.mode.agentMode.fullAccessConfirm.confirm":"Так, усе одно продовжити","composer.mode.agentMode.fullAccessConfirm.description":"У режимі повного доступу Codex може редагувати всі файли на вашому комп’ютері та виконувати мережеві команди без вашого підтвердження.","composer.mode.agentMode.fullAccessConfirm.goBack":"Скасувати","composer.mode.agentMode.fullAccessConfirm.title":"Увімкнути повний доступ?","composer.mode.agentMode.readOnly":"Чат","composer.mode.agentMode.readOnly.dropdownLabel":"Чат","composer.mode.agentMode.readOnly.optionLabel":"Чат","composer.mode.agentMode.tooltip":"Змінити режим","composer.mode.agentMode.tooltip.auto":"Читання й редагування файлів, виконання команд.","composer.mode.agentMode.tooltip.custom":"Використання актуальних правил підтвердження й ізоляції, визначених у файлі config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex може редагувати файли поза межами проєкту та виконувати команди з доступом до мережі. Користуйтеся з обережністю.","composer.mode.agentMode.tooltip.readOnly":"Потрібен дозвіл на редагування файлів і виконання команд.","composer.mode.cloud.tooltip":"Працюйте в хмарному середовищі","composer.mode.contactAdmin":"Для розширення доступу зверніться до адміністратора","composer.mode.local":"Локально","composer.mode.local.learnMore":"Докладніше","composer.mode.local.model.custom":"Користувацький","composer.mode.local.model.loadingModel":"Завантаження моделі","composer.mode.local.model.selecrReasoningEffort":"Виберіть аргументацію","composer.mode.local.model.selectModel":"Виберіть модель","composer.mode.local.model.tooltip":"Виберіть модель","composer.mode.local.ratePercent":"{usage} %","composer.mode.local.reasoning.high.label":"Високий рівень","composer.mode.local.reasoning.low.label":"Низький рівень","composer.mode.local.reasoning.medium.label":"Середній рівень","composer.mode.local.reasoning.minimal.label":"Мінімальний рівень","composer.mode.local.reasoning.none.label":"Немає","composer.mode.local.reasoning.xhigh.label":"Дуже детальна","composer.mode.localRemoteWhereRun":"Виберіть, де запускати завдання","composer.mode.newTask.header":"Продовжити в","composer.mode.rateLimit.day":"{days} дн","composer.mode.rateLimit.heading":"Залишок у межах ліміту","composer.mode.rateLimit.hour":"{hours} год","composer.mode.rateLimit.minute":"{minutes} хв","composer.mode.rateLimit.modelSectionLabel":"Ліміт {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {тижневий ліміт} few {ліміт на {weeks} тижні} many {ліміт на {weeks} тижнів} other {ліміт на {weeks} тижня}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {Щотижня} few {{weeks} тижні} many {{weeks} тижнів} other {{weeks} тижня}}","composer.mode.remote.connectToCloud":"Підключити Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"Налаштуйте середовище в Codex Web, щоб надсилати завдання в хмару","composer.mode.remote.selectEnvironment":"Виберіть середовище","composer.mode.remote.sendToCloud":"Надіслати в хмару","composer.mode.remote.setupViaWeb":"Налаштувати середовище в Codex Web","composer.mode.runInCloud":"Хмара","composer.mode.runInCloudWithEnvironment":"Хмара · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Працюйте в хмарному середовищі","composer.mode.segmentedToggle.local.tooltip":"Працювати з локальним проєктом","composer.mode.segmentedToggle.worktree.tooltip":"Працюйте в паралельному робочому дереві","composer.mode.upgradeToPlus":"Підвищити рівень до Plus","composer.mode.upgradeToPro":"Підвищити рівень до Pro","composer.mode.workLocally":"Локальний проєкт","composer.mode.workLocally.currentBranchFallback":"вашого розгалуження","composer.mode.workLocally.tooltip":"Працюйте в {branchName}","composer.mode.worktree":"Нове робоче дерево","composer.mode.worktree.submoduleWarning":"Цей репозиторій містить підмодулі Git. Створення робочого дерева може не вдатися","composer.mode.worktree.tooltip":"Створіть копію локального проєкту для паралельної роботи","composer.mode.worktreeSegment":"Робоче дерево","composer.modelChangeDuringConversationWarning.toast":"Зміна моделі під час розмови може погіршити продуктивність.","composer.newChat.heading.browser":"Для чого треба написати програмний код?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex використовує дозвіл, визначений у файлі config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex має повний доступ до вашого комп’ютера (підвищений ризик)","composer.permissionsDropdown.custom.label":"Користувацький (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Користувацький (config.toml)","composer.permissionsDropdown.default.label":"Дозволи за замовчуванням","composer.permissionsDropdown.default.optionLabel":"Дозволи за замовчуванням","composer.permissionsDropdown.default.tooltip":"Codex автоматично виконує команди в ізольованому середовищі","composer.permissionsDropdown.disabled.requirements":"Дозволи заблоковано файлом requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Повний доступ вимкнено файлом requirements.toml","composer.permissionsDropdown.fullAccess.label":"Повний доступ","composer.permissionsDropdown.fullAccess.optionLabel":"Повний доступ","composer.permissionsDropdown.trigger.tooltip":"Змінити дозволи","composer.personalitySlashCommand.description.friendly":"Доброзичливий, орієнтований на співпрацю та корисний","composer.personalitySlashCommand.description.pragmatic":"Лаконічний, орієнтований на завдання та прямий","composer.personalitySlashCommand.label.friendly":"Привітний","composer.personalitySlashCommand.label.pragmatic":"Прагматичний","composer.personalitySlashCommand.notApplicableSuffix":"(Не застосовується до поточної моделі)","composer.personalitySlashCommand.title":"Особистість","composer.placeholder.cloudFollowUp.directFollowUp":"Продовження цього хмарного завдання","composer.placeholder.cloudFollowUp.local":"Створіть нове локальне завдання, яке посилається на це хмарне завдання","composer.placeholder.cloudFollowUp.workingTree":"Створіть нове хмарне завдання, яке містить поточний код і буде посилатися на це завдання","composer.placeholder.localFollowUp.cloud":"Продовження в новому хмарному завданні","composer.placeholder.localFollowUp.locally":"Попросіть внести додаткові зміни","composer.placeholder.newTask.cloud":"Попросіть Codex зробити будь-що в хмарі","composer.placeholder.newTask.doAnything":"Попросіть Codex зробити будь-що","composer.placeholder.newTask.locally":"Запитайте Codex про що завгодно; @ — щоб додати файли, / — для команд","composer.planModeDropdown":"Режим планування","composer.planModeDropdown.ariaLabel":"Режим планування","composer.planModeIndicator":"План","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Створити план за допомогою Codex","composer.planModeIndicator.tooltipToggle":"для перемикання","composer.planSlashCommand.disableDescription":"Вимкнути режим планування","composer.planSlashCommand.enableDescription":"Увімкнути режим планування","composer.planSlashCommand.title":"Режим планування","composer.priorContext.label":"Попередній контекст","composer.priorContext.removeAriaLabel":"Видалити попередній контекст","composer.queuedMessage.delete":"Видалити повідомлення з черги","composer.queuedMessage.edit":"Редагувати повідомлення","composer.queuedMessage.more":"Дії з повідомленням у черзі","composer.queuedMessage.sendNow":"Керування виконанням","composer.queuedMessage.sendNowTooltip":"Надіслати зараз без переривання роботи","composer.queuedMessage.turnOff":"Вимкнути чергу","composer.reasoningEffort.local.reasoning.tooltip":"Виберіть інтенсивність аргументування","composer.remote.branchStartingPoint":"З якої гілки слід почати це завдання?","composer.remote.branchesSectionHeading":"Розгалуження","composer.remote.currentEditsSuffix.followUp":"Створіть нове завдання, яке посилається на це хмарне завдання.","composer.remote.currentEditsSuffix.useLocal":"з локальними змінами коду","composer.remote.directFollowUp":"Не використовувати локальні зміни","composer.remote.errorLoadingBranches":"Помилка завантаження розгалужень","composer.remote.fromBranch":"Із {branch}","composer.remote.fromCurrentBranch":"Із розгалуження {branch} (поточне)","composer.remote.loadingMoreBranches":"Завантаження…","composer.remote.localFileStateHeading":"Стан локального файлу","composer.remote.localWorkingTree":"Використовувати локальні зміни","composer.remote.startingPoint":"З якого коду має починати це завдання?","composer.reviewMode.branches.error":"Не вдалося завантажити розгалуження","composer.reviewMode.branches.retry":"Повторити спробу","composer.reviewMode.gitRoot.error":"Кореневий каталог Git не знайдено","composer.reviewMode.option.baseBranch.simple":"Порівняти з базовим розгалуженням","composer.reviewMode.option.unstaged.simple":"Перевірити незастосовані зміни","composer.reviewMode.quickReviewError":"Не вдалося запустити перевірку коду.","composer.reviewMode.title":"Перевірка коду","composer.sandboxButton.unlock.disabled.tooltip":"Повний доступ вимкнено файлом requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex може використовувати експериментальну «пісочницю» у Windows, щоб обмежити доступ до файлової системи та мережі. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Увімкнути пісочницю Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Використовувати лише для читання","composer.searchEnvironments":"Пошук середовищ","composer.skillMentionList.app":"Програма","composer.skillMentionList.loading":"Завантаження навичок…","composer.skillMentionList.noResults":"Не знайдено жодної навички","composer.slashCommands.cloudEnvironment.title":"Хмарне середовище","composer.slashCommands.dialogLabel":"Меню слеш-команд","composer.slashCommands.dialogTitle":"Слеш-команди","composer.slashCommands.disabledTooltip":"Розпочніть нову розмову, щоб використовувати слеш-команди","composer.slashCommands.inputPlaceholder":"Шукати","composer.slashCommands.noResults":"Немає команд","composer.slashCommands.skillsGroup":"Навички","composer.slashCommands.tooltip":"Перегляньте слеш-команди","composer.status.close":"Закрити","composer.statusPlain.alertLabel":"Сповіщення:","composer.statusPlain.alertValue":"{remaining} % залишилося в {window}","composer.statusPlain.contextLabel":"Контекст:","composer.statusPlain.contextTotal":"{count}000","composer.statusPlain.contextValueMetadata":"(використано {used}/{total})","composer.statusPlain.contextValueRemaining":"Залишилося {remaining} %","composer.statusPlain.heading":"Стан","composer.statusPlain.modelRateLimitSectionLabel":"Ліміт {modelName}:","composer.statusPlain.rateLimitDays":"Ліміт {count} дн","composer.statusPlain.rateLimitFallbackLabel":"Ліміт на використання:","composer.statusPlain.rateLimitHours":"Ліміт {count} год","composer.statusPlain.rateLimitLabelBase":"Ліміт на використання","composer.statusPlain.rateLimitMinutes":"Ліміт {count} хв","composer.statusPlain.rateLimitPercent":"Залишилося {remaining} %","composer.statusPlain.rateLimitReset":"буде скинуто о {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"час скидання невідомий","composer.statusPlain.rateLimitUnavailable":"Недоступно","composer.statusPlain.sessionCopiedAriaLabel":"Ідентифікатор сеансу скопійовано","composer.statusPlain.sessionCopiedTooltip":"Ідентифікатор скопійовано","composer.statusPlain.sessionCopyAriaLabel":"Копіювати ідентифікатор сеансу","composer.statusPlain.sessionCopyTooltip":"Копіювати ідентифікатор","composer.statusPlain.sessionLabel":"Сеанс:","composer.statusSlashCommand.description":"Показати ідентифікатор ланцюжка, використання контексту та ліміти на використання","composer.statusSlashCommand.title":"Стан","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Не вдалося надіслати повідомлення","composer.submit.emptyMessage":"Уведіть повідомлення, щоб розпочати","composer.submit.imageInputsUnsupported":"Вилучіть зображення або змініть модель, щоб надіслати це повідомлення.","composer.submit.loadingLocalConfig":"Завантаження…","composer.submit.missingCloudConfig":"Необхідно вибрати хмарне середовище","composer.submit.missingCloudTurn":"Не вдалося продовжити це завдання","composer.submit.noWorkspace":"Додайте проєкт, щоб використовувати Codex","composer.submit.waitForImageUploads":"Передавання зображень…","composer.submitButtonTooltip.send":"Надіслати","composer.submitButtonTooltip.stop":"Зупинити","composer.worktreeEnvironment.create":"Створити локальне середовище","composer.worktreeEnvironment.default":"Середовище за замовчуванням","composer.worktreeEnvironment.error":"Помилка завантаження середовищ","composer.worktreeEnvironment.loading":"Завантаження середовищ…","composer.worktreeEnvironment.title":"Локальне середовище","composer.worktreeEnvironment.tooltip":"Виберіть локальне середовище","composer.worktreeSetupFailed":"Не вдалося налаштувати робоче дерево. Перевірте сценарій налаштування в .codex/environments.","compoundButton.secondaryAction":"Додаткова дія","copyButton.copied":"Скопійовано","copyButton.copiedAriaLabel":"Скопійовано","copyButton.copy":"Копіювати","copyButton.copyAriaLabel":"Копіювати","copyButton.copyCode":"Копіювати код","diff.actionButton.revertFile":"Повернути файл до попереднього стану","diff.actionButton.revertHunk":"Повернути до попереднього стану","diff.actionButton.revertSection":"Повернути все до попереднього стану","diff.actionButton.revertSectionLabel":"Повернути все до попереднього стану","diff.actionButton.stageFile":"Підготувати файл","diff.actionButton.stageHunk":"Індексувати","diff.actionButton.stageSection":"Підготувати все","diff.actionButton.stageSectionLabel":"Підготувати все","diff.actionButton.unstageFile":"Скасувати підготовку файлу","diff.actionButton.unstageHunk":"Скасувати індексацію","diff.actionButton.unstageSection":"Скасувати підготовку всього","diff.actionButton.unstageSectionLabel":"Скасувати підготовку всього","diff.fileHeader.toggle":"Показати / приховати відмінність файлів","electron.onboarding.login.apikey.cancel":"Скасувати","electron.onboarding.login.apikey.continue":"Продовжити","electron.onboarding.login.apikey.label":"Ключ OpenAI API","electron.onboarding.login.apikey.open":"Уведіть ключ API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Скасувати вхід","electron.onboarding.login.chatgpt.continue":"Увійти за допомогою ChatGPT","electron.onboarding.login.devbox":"Підключитися до віддаленого SSH","electron.onboarding.login.error":"Помилка входу: {rawMessage}","electron.onboarding.login.snake.start":"Зіграти в «Змійку»","electron.onboarding.login.sshConfig.cancel":"Скасувати","electron.onboarding.login.sshConfig.continue":"Продовжити","electron.onboarding.login.sshConfig.hostnameLabel":"Ім’я хоста SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Найкращий спосіб створення рішень з агентами","electron.onboarding.login.title":"Ласкаво просимо до Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Продовжити","electron.onboarding.welcome.doubleLimits.description":"На честь запуску програми Codex до 2 квітня для вас діє подвоєний ліміт запитів.","electron.onboarding.welcome.freego.description":"Codex безкоштовно включено до вашого тарифу до 2 березня — почнімо створювати разом.","electron.onboarding.welcome.new.title.anon":"Вітаємо!","electron.onboarding.workspace.continue":"Продовжити","electron.onboarding.workspace.empty":"Додайте проєкт, щоб продовжити.","electron.onboarding.workspace.listLabel":"Доступні проєкти","electron.onboarding.workspace.loading":"Завантаження проєктів…","electron.onboarding.workspace.openFolder":"Додати проєкт","electron.onboarding.workspace.selectAll":"Вибрати все","electron.onboarding.workspace.skip":"Пропустити","electron.onboarding.workspace.skip.error":"Не вдалося створити новий проєкт. {message}","electron.onboarding.workspace.skip.error.unknown":"Невідома помилка","electron.onboarding.workspace.skipping":"Створення нового проєкту…","electron.onboarding.workspace.subtitle":"Codex зможе редагувати файли та виконувати команди у вибраних папках.","electron.onboarding.workspace.title":"Виберіть проєкт","errorPage.list.checkSettings":"Спробуйте оновити налаштування IDE","errorPage.list.configToml":"Перевірте файл config.toml на наявність неправильних налаштувань","errorPage.list.downloadExtension":"Спробуйте завантажити іншу версію розширення","errorPage.list.runInWsl":"Якщо виникають проблеми сумісності, вимкніть запуск у WSL","execApprovalRequest.menu.runAlways":"Так, і більше не запитувати в цьому сеансі","execApprovalRequest.menu.runAlwaysWithAmendment":"Так, і більше не запитувати для команд, що починаються з {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Так, і більше не запитувати для команд, що починаються з","execApprovalRequest.menu.runOnce":"Так","execApprovalRequest.prompt":"Виконати цю команду?","execApprovalRequest.reject":"Ні","execFooter.exitCode":"Код виходу {code}","execFooter.exitCode.unknown":"невідомий","execFooter.success":"Виконано","feedback.dialog.category.badResult":"Поганий результат","feedback.dialog.category.bug":"Помилка","feedback.dialog.category.goodResult":"Хороший результат","feedback.dialog.category.other":"Інше","feedback.dialog.descriptionPlaceholder":"Опишіть проблему тут","feedback.dialog.dismiss":"Відхилити","feedback.dialog.includeLogsLabel":"Додати журнали поточного сеансу Codex","feedback.dialog.submit":"Надіслати","feedback.dialog.submitError":"Не вдалося надіслати ваш відгук. Спробуйте трохи пізніше.","feedback.dialog.title":"Відгук","feedback.dialog.uploadedMessage.existingIssue":"наявну відкриту проблему","feedback.dialog.uploadedMessage.openIssue":"відкрийте проблему GitHub","feedback.dialog.uploadedMessage.withThread":"Відгук передано. Якщо проблема продовжує виникати, {openIssueLink} або додайте ідентифікатор ланцюжка в {existingIssueLink}.","feedback.dialog.uploadedTitle":"Відгук передано","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Вилучити {filename}","header.back":"Назад","header.recentChats":"Завдання","header.recentTasks.seeAll":"Переглянути всі ({total})","home.header.getPlus":"Отримати версію Plus","home.hero.letsBuild":"Давайте створювати","homePage.mainContent":"Основний уміст","imageAttachment.defaultName":"зображення","imageAttachment.preview.close":"Закрити попередній перегляд зображення","imageAttachment.removeAriaLabel":"Вилучити {filename}","implementPlanRequest.option.implement":"Так, реалізувати цей план","implementPlanRequest.prompt":"Реалізувати цей план?","inbox.archived.deleteError":"Не вдалося видалити архівований запуск","inbox.archived.deleteRun":"Видалити архівований запуск","inbox.archived.deleteSuccess":"Архівований ланцюжок видалено. Переглянути в <settingsLink>архівованих ланцюжках</settingsLink>.","inbox.archived.inlineLabel.auto":"Цей ланцюжок було автоматично заархівовано. <learnMoreLink>Докладніше</learnMoreLink>.","inbox.archived.inlineLabel.manual":"Цей ланцюжок заархівовано.","inbox.archived.noMessageFound":"Повідомлень не знайдено","inbox.automations.createError":"Не вдалося створити автоматизацію","inbox.automations.deleteConfirm.cancel":"Скасувати","inbox.automations.deleteConfirm.confirm":"Видалити автоматизацію","inbox.automations.deleteConfirm.description":"Автоматизацію буде остаточно видалено, а всі майбутні запуски — зупинено.","inbox.automations.deleteConfirm.title":"Видалити {name}?","inbox.automations.deleteError":"Не вдалося видалити автоматизацію","inbox.automations.editTooltip":"Редагувати автоматизацію","inbox.automations.inProgress":"Виконується","inbox.automations.new":"Новий","inbox.automations.newToolbar":"Нова автоматизація","inbox.automations.pauseTooltip":"Призупинити автоматизацію","inbox.automations.resumeTooltip":"Відновити автоматизацію","inbox.automations.startingNow":"Починаємо зараз","inbox.automations.startsIn":"Починається о {startTime}","inbox.automations.status.active":"Активно","inbox.automations.status.paused":"Призупинено","inbox.automations.status.runs":"Запусків: {count}","inbox.automations.status.started":"Розпочато {date}","inbox.automations.updateError":"Не вдалося оновити автоматизацію","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Усі","inbox.filter.ariaLabel":"Фільтрувати вхідні","inbox.filter.unread":"Непрочитані","inbox.list.archived":"Заархівовані","inbox.list.inProgress":"Виконується","inbox.list.recent":"Завершено","inbox.list.upNext":"Заплановано","inbox.mode.automations":"Автоматизації","inbox.mode.automations.beta":"Бета-версія","inbox.noDescription":"Опис не надано","inbox.openThread":"Відкрити ланцюжок","inbox.rightPanel.emptySubtitle":"Автоматизуйте роботу, налаштувавши заплановані завдання","inbox.rightPanel.emptySubtitle.learnMore":"Автоматизуйте роботу, налаштувавши заплановані ланцюжки.<link>Докладніше</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# активна автоматизація} few {# активні автоматизація} many {# активних автоматизацій} other {# активної автоматизації}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Немає непрочитаних автоматизацій","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# непрочитана автоматизація} few {# непрочитані автоматизації} many {# непрочитаних автоматизацій} other {# непрочитаної автоматизації}}","inbox.rightPanel.emptyTitle":"Немає вибраних елементів","inbox.rightPanel.noThread":"Для цього елемента немає ланцюжка","inbox.rightPanel.quickStart.header":"Почніть із шаблону","inbox.untitled":"Елемент вхідних без назви","loadingPage.documentationLink":"документації","loadingPage.errorDescription":"Аварійно завершено роботу Codex через таку помилку:","loadingPage.errorDescription.documentation":"Натисніть «Перезавантажити», щоб перезапустити розширення Codex, або шукайте додаткову інформацію в {documentationLink}.","loadingPage.errorSignal":"Що варто спробувати:","loadingPage.errorTitle":"Сталася помилка","loadingPage.openConfigToml":"Відкрити config.toml","loadingPage.reload":"Перезавантажити","localConversation.contextCompacted":"Контекст автоматично скорочено","localConversation.contextCompacting":"Виконується автоматичне скорочення контексту","localConversation.forkedFromConversation":"Створено форк від {threadTitle}","localConversation.merge.autoResolve.failed":"Не вдалося надіслати запит на автоматичне вирішення: {error}","localConversation.merge.autoResolve.sent":"Запит на автоматичне вирішення надіслано","localConversation.merge.autoResolveMerge.missingConversation":"Автоматичне вирішення неможливе без активної розмови.","localConversation.merge.autoResolveMerge.request":"Автоматичне вирішення конфліктів об’єднання","localConversation.modelChanged":"Модель змінено з {fromModel} на {toModel}.","localConversation.modelChanged.warning.line1":"Зміна моделі під час розмови може погіршити продуктивність.","localConversation.modelChanged.warning.line2":"Контекст може бути автоматично скорочено.","localConversation.moveThread.createBranch.label":"Створити розгалуження","localConversation.moveToLocal.disabled.loading":"Завантаження…","localConversation.moveToLocal.modal.continue":"Продовжити","localConversation.moveToLocal.modal.destinationLabel":"Перемістити до","localConversation.moveToLocal.modal.retry":"Повторити спробу","localConversation.moveToWorktree.modal.back":"Назад","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Гілка вже існує","localConversation.moveToWorktree.modal.branchesError":"Не вдалося завантажити розгалуження","localConversation.moveToWorktree.modal.branchesLoading":"Завантаження гілок…","localConversation.moveToWorktree.modal.branchesRetry":"Повторити спробу","localConversation.moveToWorktree.modal.continue":"Продовжити","localConversation.moveToWorktree.modal.retry":"Повторити спробу","localConversation.moveToWorktree.modal.trailingSlashError":"Назва гілки не може закінчуватися символом «/».","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"нова гілка","localConversation.personalityChanged":"Перемкнуто на {personality} особистість","localConversation.planSummary.collapse":"Згорнути зведення плану","localConversation.planSummary.collapseTooltip":"Згорнути","localConversation.planSummary.download":"Завантажити план","localConversation.planSummary.expand":"Розгорнути зведення плану","localConversation.planSummary.expandTooltip":"Розгорнути","localConversation.planSummary.openInNewWindow":"Відкрити","localConversation.planSummary.openInNewWindow.tooltip":"Відкрити в новому вікні","localConversation.planSummary.title":"План","localConversation.planSummary.titleWriting":"План написання","localConversation.planSummary.viewPlan":"Розширити план","localConversation.remoteTaskCreated":"Створено {taskLink} у хмарі Codex","localConversation.remoteTaskCreated.task":"завдання","localConversation.scrollToBottomButton":"Прокрутити вниз","localConversation.sync.buttonLabel":"Передати до локального середовища","localConversation.sync.buttonLabel.tooltip":"Передає зміни між вашим робочим деревом і локальною версією, взятою на редагування.","localConversation.sync.modal.loading.title":"Передавання змін…","localConversation.sync.modal.noChanges":"Немає змін","localConversation.syncSetup.branchAriaLabel":"Назва розгалуження","localConversation.syncSetup.branchName":"Назва розгалуження","localConversation.syncSetup.branchPlaceholder.existing":"Вибрати наявну гілку","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Завантаження гілок…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Гілку вже вибрано","localConversation.syncSetup.checkoutClean":"Зараз у {branchName}","localConversation.syncSetup.checkoutDirty":"Зараз у {branchName} з незафіксованими змінами","localConversation.syncSetup.checkoutError":"Не вдалося перейти на гілку: {message}","localConversation.syncSetup.checkoutLabel":"Узяти на редагування локально","localConversation.syncSetup.checkoutOnLocal":"Передати до локального середовища","localConversation.syncSetup.checkoutPending":"Перевірка локального стану…","localConversation.syncSetup.checkoutUnavailable":"Локальна робоча область недоступна","localConversation.syncSetup.checkoutUnknown":"Локальна гілка недоступна","localConversation.syncSetup.continue":"Продовжити","localConversation.syncSetup.createBranchError":"Не вдалося встановити гілку для передавання: {message}","localConversation.syncSetup.error":"Сталася помилка: {message}","localConversation.syncSetup.error.workingTreeMissing":"Не вдалося створити знімок робочого дерева. Спробуйте повторити передавання.","localConversation.syncSetup.mode.ariaLabel":"Виберіть режим роботи з гілками","localConversation.syncSetup.mode.existing":"Наявна гілка","localConversation.syncSetup.mode.new":"Нова гілка","localConversation.syncSetup.noBranches":"Гілок не знайдено","localConversation.syncSetup.overwriteError":"Гілку створено, але її не повністю передано. Передайте вручну перед локальним переходом.","localConversation.syncSetup.setPrefix":"Задати префікс","localConversation.syncSetup.subtitle":"Тестуйте й редагуйте зміни робочого дерева локально. <a>Докладніше</a>","localConversation.syncSetup.success.checkedOut":"Гілку створено та вибрано локально","localConversation.syncSetup.success.notCheckedOut":"Гілку створено","localConversation.syncSetup.title":"Передати до локальної гілки","localConversation.syncWorktreeError.branchAriaLabel":"Назва розгалуження","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Виберіть гілку для передавання, потім повторіть завантаження змін.","localConversation.syncWorktreeError.branchSetup.title":"Оновити розгалуження","localConversation.syncWorktreeError.branchUpdate.cta":"Оновити та повторити","localConversation.syncWorktreeError.branchUpdate.error":"Не вдалося оновити гілку: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Сталася помилка: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Гілку не під’єднано до жодного робочого дерева.","localConversation.syncWorktreeV2.applyUncommitted":"Застосувати","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Щоб застосувати незафіксовані зміни, потрібно вибрати гілку локально","localConversation.syncWorktreeV2.branches.empty":"Гілок не знайдено","localConversation.syncWorktreeV2.branches.loading":"Завантаження гілок…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Змінити гілку передавання","localConversation.syncWorktreeV2.changeBranch.error":"Не вдалося змінити гілку передавання: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Не вдалося застосувати","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Не вдалося перезаписати робоче дерево","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Не вдалося перезаписати локальні дані","localConversation.syncWorktreeV2.commandError.back":"Назад","localConversation.syncWorktreeV2.commandError.body":"Під час передавання не вдалося виконати команду агента. Перегляньте вивід і повторіть спробу.","localConversation.syncWorktreeV2.commandError.retry":"Повторити спробу","localConversation.syncWorktreeV2.description":"Передавайте зміни між локальним середовищем і цим робочим деревом. <a>Докладніше</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Виберіть напрямок передавання","localConversation.syncWorktreeV2.error.generic":"Під час передавання сталася помилка. Спробуйте ще раз.","localConversation.syncWorktreeV2.localBranchLabel":"Локально","localConversation.syncWorktreeV2.noChanges":"Обчислення змін","localConversation.syncWorktreeV2.noChanges.summary":"Немає змін","localConversation.syncWorktreeV2.overwrite.local":"Перезаписати локальні дані","localConversation.syncWorktreeV2.overwrite.worktree":"Перезаписати робоче дерево","localConversation.syncWorktreeV2.partial.action.applyFailed":"Не вдалося застосувати зміни","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Не вдалося перезаписати локальні зміни","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Не вдалося перезаписати зміни робочого дерева","localConversation.syncWorktreeV2.partial.appliedLabel":"Застосовано","localConversation.syncWorktreeV2.partial.back":"Назад","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Усуньте конфлікти та спробуйте ще раз.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Конфлікти","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# файл} few {# файли} many {# файли} other {# файли}}","localConversation.syncWorktreeV2.partial.retry":"Повторити спробу","localConversation.syncWorktreeV2.partial.skippedLabel":"Пропущено","localConversation.syncWorktreeV2.stateFailed.generic":"Під час отримання змін робочого дерева для передавання сталася помилка. Спробуйте ще раз.","localConversation.syncWorktreeV2.stateFailed.title":"Не вдалося завантажити зміни робочого дерева","localConversation.syncWorktreeV2.statusError.diffUnknown":"Не вдалося завантажити зміни робочого дерева.","localConversation.syncWorktreeV2.statusError.retry":"Повторити спробу","localConversation.syncWorktreeV2.statusError.title":"Не вдалося завантажити зміни локальної гілки","localConversation.syncWorktreeV2.statusError.unknown":"Стан гілки наразі недоступний. Спробуйте ще раз.","localConversation.syncWorktreeV2.success.apply":"Зміни успішно застосовано","localConversation.syncWorktreeV2.success.overwrite":"Передавання виконано успішно","localConversation.syncWorktreeV2.title":"Передавання змін","localConversation.syncWorktreeV2.worktreeLabel":"Робоче дерево","localConversation.userInputRequest.inProgress":"Запит: {count, plural, one {запитання} few {запитання} many {запитань} other {запитання}}","localConversation.userInputRequest.noAnswer":"Відповідь не надано","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Запитано","localConversation.userInputRequest.summary.count":"{count, plural, one {# запитання} few {# запитання} many {# запитань} other {# запитання}}","localConversation.workedFor":"Програма працювала {time}","localConversation.worktreeBranchSetup.action.create":"Створити","localConversation.worktreeBranchSetup.branchAriaLabel":"Назва розгалуження","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Створити нове розгалуження","localConversation.worktreeBranchSetup.checkoutDisabled":"Цю гілку вже вибрано в {location}","localConversation.worktreeBranchSetup.checkoutError":"Не вдалося перейти на гілку: {message}","localConversation.worktreeBranchSetup.createBranchError":"Не вдалося встановити гілку: {message}","localConversation.worktreeBranchSetup.error":"Сталася помилка: {message}","localConversation.worktreeBranchSetup.subtitle":"Створіть гілку, щоб зафіксувати зміни, відправити їх і створити PR із цього робочого дерева. <a>Докладніше</a>.","localConversation.worktreeBranchSetup.title":"Працюйте тут","localConversationPage.addWorktreeToSidebar.tooltip":"Збережіть як проєкт, щоб створювати нові потоки з цього робочого дерева","localConversationPage.addWorktreeToSidebarError":"Не вдалося додати проєкт","localConversationPage.commitAndCreatePrModal.errorTitle":"Не вдалося зафіксувати зміни та створити запит на додавання змін","localConversationPage.commitAndCreatePrModal.successTitle":"Зміни зафіксовано, і створено запит на додавання змін","localConversationPage.commitAndPushModal.errorTitle":"Не вдалося зафіксувати та надіслати зміни","localConversationPage.commitAndPushModal.successTitle":"Зміни зафіксовано та надіслано","localConversationPage.commitCreatePr.open":"Відкрити запит на додавання змін","localConversationPage.commitCreatePr.successTitle":"Створено запит на додавання змін із вашими останніми змінами","localConversationPage.createBranchButtonLabel":"Створити гілку тут","localConversationPage.createPrModal.baseBranch":"Базова гілка","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Створити запит на додавання змін","localConversationPage.createPrModal.createDescription":"Відкрити запит на додавання змін для ваших останніх змін.","localConversationPage.createPrModal.errorTitle":"Не вдалося створити запит на додавання змін","localConversationPage.createPrModal.headBranch":"Поточна гілка","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Відкрити запит на додавання змін","localConversationPage.createPrModal.successTitle":"Запит на додавання змін створено","localConversationPage.createPrModal.title":"Створення запиту на додавання змін","localConversationPage.createPrModal.viewDescription":"Для цієї гілки вже існує запит на додавання змін.","localConversationPage.createPrModal.viewTitle":"Запит на додавання змін готовий","localConversationPage.createPullRequestAuthGh":"Авторизуйте GitHub CLI: запустіть команду gh auth login","localConversationPage.createPullRequestBranchMissing":"Інформація про розгалуження недоступна","localConversationPage.createPullRequestButtonLabel":"Створити запит на додавання змін","localConversationPage.createPullRequestButtonLabel.loading":"Створення запиту на додавання змін…","localConversationPage.createPullRequestDefaultBranchMissing":"Інформація про розгалуження за замовчуванням недоступна","localConversationPage.createPullRequestError":"Не вдалося створити запит на додавання змін","localConversationPage.createPullRequestExistingPullRequest":"Для цієї гілки вже існує запит на додавання змін","localConversationPage.createPullRequestGhStatusMissing":"Завантаження стану GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Установіть GitHub CLI (gh), щоб створювати запити на додавання змін","localConversationPage.createPullRequestNoRepo":"Не знайдено жодного сховища git","localConversationPage.createPullRequestPushStatusMissing":"Завантаження стану надсилання…","localConversationPage.createPullRequestSetUpstream":"Перш ніж створювати запит на додавання змін, спочатку надішліть розгалуження","localConversationPage.createPullRequestSuccessToast":"Запит на додавання змін створено","localConversationPage.createPullRequestSwitchBranch":"Перш ніж створювати запит на додавання змін, спочатку активуйте розгалуження функції","localConversationPage.error.render":"Помилка відтворення локальної розмови","localConversationPage.error.toast":"Розмову не знайдено","localConversationPage.forcePushError":"Не вдалося примусово надіслати зміни","localConversationPage.generatePullRequestMessageError":"Не вдалося згенерувати заголовок і опис запиту на додавання змін","localConversationPage.generatePullRequestMessageFailed":"Не вдалося згенерувати заголовок і опис запиту на додавання змін","localConversationPage.gitActionResult.branch":"Розгалуження","localConversationPage.gitActionResult.cancel":"Скасувати","localConversationPage.gitActionResult.close":"Закрити","localConversationPage.gitActionResult.tryAgain":"Повторити спробу","localConversationPage.gitActions":"Дії Git","localConversationPage.newChat":"Новий чат","localConversationPage.openInTarget":"Відкрити в","localConversationPage.openPrimaryTarget":"Відкрити","localConversationPage.planItemsCompleted":"{completedItems} з {totalItems, plural, one {# завдання завершено} few {# завдань завершено} many {# завдань завершено} other {# завдання завершено}}","localConversationPage.pushAuthError":"Не вдалося надіслати: потрібна багатофакторна автентифікація","localConversationPage.pushBranchMissing":"Інформація про розгалуження недоступна","localConversationPage.pushButtonLabel":"Push-сповіщення","localConversationPage.pushButtonLabel.loading":"Надсилання змін…","localConversationPage.pushError":"Не вдалось надіслати зміни","localConversationPage.pushModal.branchLabel":"Розгалуження","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Скасувати","localConversationPage.pushModal.confirm":"Push-сповіщення","localConversationPage.pushModal.description":"Надішліть свої останні зафіксовані зміни до віддаленого репозиторію.","localConversationPage.pushModal.errorTitle":"Не вдалося надіслати зміни","localConversationPage.pushModal.forcePush":"Примусово надіслати зміни","localConversationPage.pushModal.successTitle":"Надсилання змін завершено","localConversationPage.pushModal.title":"Надсилання змін","localConversationPage.pushModal.tryAgain":"Повторити спробу","localConversationPage.pushNoUpstream":"Задайте віддалене розгалуження, перш ніж надсилати це розгалуження","localConversationPage.pushNoUpstreamError":"Не вдалося надіслати: не налаштовано віддалене розгалуження","localConversationPage.pushNothingToPush":"Немає нових фіксацій для надсилання","localConversationPage.pushRemoteChangedError":"Не вдалося надіслати: у віддаленій версії є нові фіксації","localConversationPage.pushRemoteRejectedError":"Надсилання відхилено віддаленою версією","localConversationPage.pushStatusMissing":"Завантаження стану надсилання…","localConversationPage.pushSuccessToast":"Надіслані зміни","localConversationPage.viewPullRequestButtonLabel":"Переглянути запит на додавання змін","localConversationPage.viewPullRequestButtonLabel.loading":"Завантаження запиту на додавання змін…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# файл} few {# файли} many {# файлів} other {# файла}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# список} few {# списки} many {# списків} other {# списка}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# пошуковий запит} few {# пошукові запити} many {# пошукових запитів} other {# пошукового запиту}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Дослідження","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Досліджено","localConversationTurn.exploration.accordion.header.complete.withCounts":"Досліджено {counts}","localConversationTurnStory.showContent":"Показати вміст","localConversationTurnStory.streamContent":"Передавати вміст потоком","localConversationTurnStory.toggleReasoning":"Показати аргументацію","localTaskRow.archiveError":"Не вдалось архівувати розмову","localTaskRow.resumeError":"Не вдалося відновити завдання","mermaidDiagram.ariaLabel":"Діаграма Mermaid","mermaidDiagram.copySource":"Копіювати Mermaid","mermaidDiagram.originalCode":"Джерело коду Mermaid","notifications.permissions.description":"Показувати попередження, якщо потрібен дозвіл на сповіщення","notifications.permissions.label":"Увімкнути сповіщення про дозволи","notifications.turnMode.always":"Завжди","notifications.turnMode.description":"Налаштуйте, коли Codex сповіщатиме про завершення","notifications.turnMode.label":"Увімкнути сповіщення про завершення","notifications.turnMode.off":"Ніколи","notifications.turnMode.unfocused":"Тільки коли неактивно","patchApprovalRequest.approve":"Схвалити","patchApprovalRequest.menu.allowAlways":"Так, і більше не запитувати в цьому сеансі","patchApprovalRequest.menu.allowForSession":"Так, і більше не запитувати в цьому сеансі","patchApprovalRequest.menu.allowOnce":"Так","patchApprovalRequest.prompt":"Застосувати ці зміни?","patchApprovalRequest.reject":"Ні","patchApprovalRequest.waitingForApproval":"Очікується дозвіл на редагування файлу","pendingRequest.approvalExec.collapse":"Згорнути","pendingRequest.approvalExec.expand":"Розгорнути","pendingRequestStory.toastAnswer":"Відповідь: {answer}","pendingRequestStory.toastApprovalTitle":"Результат затвердження","pendingRequestStory.toastFollowupPrompt":"Запит: {prompt}","pendingRequestStory.toastFollowupTitle":"Додаткове повідомлення надіслано","pendingRequestStory.toastNoAnswers":"Відповіді не надано","pendingRequestStory.toastQuestion":"Запитання: {question}","pendingRequestStory.toastUnknownDecision":"Невідомо","pendingRequestStory.toastUserInputTitle":"Надіслані відповіді","quickAction.request.codeReview.branches.new":"Перевірте зміни в {from} порівняно з {to}","quickAction.request.codeReview.uncommitted.new":"Перевірте незастосовані зміни","reasoningItem.thinking":"Триває обробка","reasoningItem.thought":"Оброблено","reasoningItem.thoughtWithElapsed":"Обробка тривала {elapsed}","recentConversations.title":"Нещодавні розмови","recentTasks.worktreeInitFailedTitle":"Не вдалося ініціалізувати робоче дерево","recentTasks.worktreeSettingUpTitle":"Налаштування робочого дерева","requestInputPanel.continue":"Продовжити","requestInputPanel.dismiss":"Відхилити","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Уведіть тут","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Ні, і повідомити Codex, що слід зробити інакше","requestInputPanel.selectedBadge":"Вибрано","requestInputPanel.skip":"Пропустити","requestInputPanel.submit":"Надіслати","review.commit.ariaLabel.includeUnstaged":"Додати неіндексовані зміни","review.commit.buttonLabel":"Зафіксувати зміни","review.commit.disabled.committing":"Відбувається фіксація…","review.commit.disabled.loadingDiff":"Завантаження змін…","review.commit.disabled.missingContext":"Додайте контекст, щоб створити повідомлення про фіксацію змін","review.commit.disabled.noChanges":"Немає змін для фіксації","review.commit.disabled.noSelection":"Виберіть зміни для фіксації","review.commit.disabled.unavailable":"Фіксація змін наразі недоступна","review.commit.error":"Не вдалося зафіксувати зміни","review.commit.form.changesToBeCommitted":"Зміни","review.commit.form.commitTo":"Розгалуження","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Продовжити","review.commit.form.title":"Зафіксуйте свої зміни","review.commit.generate.emptyResponse":"Не вдалося створити повідомлення фіксації змін.","review.commit.generate.failed":"Не вдалося створити повідомлення фіксації змін: {error}","review.commit.generate.missingPrompt":"Додайте контекст, щоб створити повідомлення фіксації змін.","review.commit.includeUnstaged":"Додати неіндексовані зміни","review.commit.loading.description":"Трохи зачекайте…","review.commit.loading.step.commit.done":"Зафіксовані зміни","review.commit.loading.step.commit.pending":"Фіксація змін","review.commit.loading.step.createPr.done":"Запит на додавання змін створено","review.commit.loading.step.createPr.pending":"Створення запиту на додавання змін","review.commit.loading.step.push.done":"Зміни надіслано до гілки {branch}","review.commit.loading.step.push.pending":"Надсилання змін до гілки {branch}","review.commit.loading.title.commit":"Фіксація змін","review.commit.loading.title.createPr":"Створення запиту на додавання змін","review.commit.loading.title.push":"Надсилання змін","review.commit.messageLabel":"Повідомлення про фіксацію змін","review.commit.messagePlaceholder":"Залиште поле порожнім, щоб повідомлення про фіксацію змін було створено автоматично","review.commit.nextSteps":"Наступні кроки","review.commit.nextSteps.commit":"Зафіксувати зміни","review.commit.nextSteps.commitAndCreate":"Зафіксувати зміни та створити запит на додавання змін","review.commit.nextSteps.commitAndPush":"Зафіксувати та надіслати зміни","review.commit.nextSteps.prRequiresGh":"Потрібен GitHub CLI: {command}","review.commit.rows.changes":"Зміни","review.commit.rows.commitCount":"{count, plural, one {# фіксація змін} few {# фіксації змін} many {# фіксацій змін} other {# фіксації змін}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# фіксація змін} few {# фіксації змін} many {# фіксацій змін} other {# фіксації змін}} і {stats}","review.commit.rows.fileCount":"{count, plural, one {# файл} few {# файли} many {# файли} other {# файли}}","review.commit.state.error.body":"Сталася помилка під час фіксації. Перевірте свій статус git і спробуйте ще раз.","review.commit.state.error.title":"Не вдалося зафіксувати","review.commit.state.success.title":"Зміни зафіксовано","review.commit.untracked.loadingStats":"Завантаження даних про відмінності, які не відстежуються…","reviewFindingAttachments.count":"{count, plural, one {# результат} few {# результати} many {# результатів} other {# результату}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Внесіть зміни у файл конфігурації, щоб налаштувати поведінку агента","settings.agent.configuration.configToml.docs":"Документи","settings.agent.configuration.configToml.restartNote":"Перезапустіть Codex після редагування, щоб застосувати зміни","settings.agent.configuration.subtitle":"Ці налаштування застосовуються всюди, де використовується Codex","settings.automations.banner.danger":"Автоматизації виконуються зі стандартними налаштуваннями пісочниці, які зараз установлено на «повний доступ». Запуск фонових автоматизацій із повним доступом має підвищений ризик, оскільки Codex може змінювати файли, виконувати команди та отримувати доступ до мережі без підтвердження. Рекомендуємо змінити налаштування пісочниці на «запис у робочу область» і використовувати <rulesDocsLink>правила</rulesDocsLink>, щоб вибірково визначати, які команди агент може виконувати з повним доступом.","settings.automations.banner.defaultHowTo.default":"Автоматизації виконуються зі стандартними налаштуваннями пісочниці. Виклики інструментів завершаться помилкою, якщо для них потрібно змінювати файли поза робочою областю, отримувати доступ до мережі або працювати з програмами на вашому комп’ютері. Ви можете вибірково дозволяти команди для виконання поза пісочницею за допомогою <rulesDocsLink>правил</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Автоматизації виконуються зі стандартними налаштуваннями пісочниці, установленими на «лише читання». Виклики інструментів завершаться помилкою, якщо для них потрібно змінювати файли, отримувати доступ до мережі або працювати з програмами на вашому комп’ютері. Рекомендуємо змінити налаштування пісочниці на «запис у робочу область».","settings.automations.cancel":"Скасувати","settings.automations.create":"Створити","settings.automations.cwdEmpty":"Немає доступних папок проєкту","settings.automations.cwdLabel":"Проєкти","settings.automations.cwdPlaceholder":"Вибрати папку","settings.automations.cwdSubtitle":"Якщо потрібно, щоб автоматизація виконувалася для певної гілки, зазначте її у своєму запиті.","settings.automations.delete":"Видалити","settings.automations.dialog.editTitle":"Редагувати автоматизацію","settings.automations.dialog.newTitle":"Нова автоматизація","settings.automations.dialog.subtitle":"Автоматизуйте повторювані завдання у фоновому режимі. Codex додає результати до вхідних або автоматично архівує завдання, якщо немає про що звітувати. <learnMoreLink>Докладніше</learnMoreLink>","settings.automations.dialog.title":"Створити автоматизацію","settings.automations.executionCopy.git":"Автоматизації виконуються у фоновому режимі на виділених робочих деревах.","settings.automations.executionCopy.nonGit":"Автоматизації в проєктах без контролю версій виконуються безпосередньо в каталозі проєкту. Рекомендуємо використовувати Git, щоб увімкнути виконання на фонових робочих деревах.","settings.automations.executionEnvironment.local":"Локально","settings.automations.executionEnvironment.worktree":"Робоче дерево","settings.automations.loading":"Завантаження…","settings.automations.nameLabel":"Ім’я","settings.automations.namePlaceholder":"Перевірити помилки Sentry","settings.automations.pause":"Призупинити","settings.automations.promptLabel":"Запит","settings.automations.promptPlaceholder":"Шукати збої в $Sentry","settings.automations.resume":"Поновити","settings.automations.rruleSummaryFallback":"Спеціальний розклад","settings.automations.runNow":"Перевірити","settings.automations.save":"Зберегти","settings.automations.scheduleBadge.dayCount":"{count} дн","settings.automations.scheduleBadge.interval":"{count} год","settings.automations.scheduleBadge.weekdays":"Будні","settings.automations.scheduleBadge.weekends":"Вихідні","settings.automations.scheduleHeader":"Розклад","settings.automations.scheduleHours":"год","settings.automations.scheduleLabel":"Запускати кожні","settings.automations.scheduleMode.daily":"Щодня","settings.automations.scheduleMode.interval":"Інтервал","settings.automations.scheduleModeLabel":"Тип розкладу","settings.automations.scheduleSummary.daily":"Щодня о {time}","settings.automations.scheduleSummary.interval":"Кожні {count} год","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# день} few {# дн.} many {# дн.} other {# дн.}}","settings.automations.scheduleSummary.intervalDays":"{interval} у {days}","settings.automations.scheduleSummary.intervalHourly":"Щогодини","settings.automations.scheduleSummary.singleDay":"{day} о {time}","settings.automations.scheduleSummary.weekdays":"У будні о {time}","settings.automations.scheduleSummary.weekdaysLabel":"будні","settings.automations.scheduleSummary.weekends":"У вихідні о {time}","settings.automations.scheduleSummary.weekendsLabel":"вихідні","settings.automations.scheduleSummary.weekly":"{days} о {time}","settings.automations.scheduleWeekdays":"Увімкнути","settings.automations.weekdayState.excluded":"Вилучено","settings.automations.weekdayState.included":"Входить","settings.conversationDetail.steps":"Кроки","settings.conversationDetail.steps.description":"Приховати команди й вивід","settings.conversationDetail.stepsWithCommands":"Кроки з командами коду","settings.conversationDetail.stepsWithCommands.description":"Показати команди, згорнути вивід","settings.conversationDetail.stepsWithOutput":"Кроки з виводом коду","settings.conversationDetail.stepsWithOutput.description":"Показати команди й розгорнути вивід","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Заархівованих чатів немає.","settings.dataControls.archivedChats.error":"Не вдалося завантажити архівовані чати.","settings.dataControls.archivedChats.loading":"Завантаження архівованих чатів…","settings.dataControls.archivedChats.unarchive":"Розархівувати","settings.dataControls.archivedChats.unarchiveError":"Не вдалося розархівувати чат","settings.dataControls.archivedChats.unarchiveSuccess":"Ланцюжок розархівовано. <viewNowLink>Переглянути зараз</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Ланцюжок розархівовано.","settings.dataControls.archivedChats.untitled":"Чат без назви","settings.dataControls.archivedChats.viewNow":"Переглянути зараз","settings.editRow.headerPlaceholder":"Ключ","settings.editRow.removeEntry":"Вилучити запис","settings.editRow.valuePlaceholder":"Значення","settings.general.appearance":"Зовнішній вигляд","settings.general.appearance.codeFont":"Шрифт коду","settings.general.appearance.codeFont.description":"Налаштуйте шрифт і розмір, які використовуються для коду в чатах і порівняннях","settings.general.appearance.codeFontFamily":"Сімейство шрифтів для коду","settings.general.appearance.codeFontSize":"Розмір шрифту коду","settings.general.appearance.codeFontSize.units":"пк","settings.general.appearance.opaqueWindows.description":"Використовувати для вікон суцільне тло замість системної прозорості","settings.general.appearance.opaqueWindows.label":"Використовувати непрозоре тло вікон","settings.general.appearance.sansFontFamily":"Сімейство шрифтів Sans","settings.general.appearance.sansFontFamily.description":"Налаштуйте шрифт для інтерфейсу Codex","settings.general.appearance.sansFontSize":"Розмір шрифту Sans","settings.general.appearance.sansFontSize.units":"пк","settings.general.appearance.sparkCelebrationEffects.description":"Показувати повноекранні анімаційні ефекти під час виконання першого запиту GPT-5.3-Codex-Spark","settings.general.appearance.sparkCelebrationEffects.label":"Анімаційні ефекти Spark","settings.general.appearance.theme":"Тема","settings.general.appearance.theme.dark":"Темний","settings.general.appearance.theme.description":"Використовувати світлий, темний або системний","settings.general.appearance.theme.light":"Світлий","settings.general.appearance.theme.system":"Системний","settings.general.appearance.usePointerCursors.description":"Змінювати курсор на вказівник під час наведення на інтерактивні елементи","settings.general.appearance.usePointerCursors.label":"Використовувати курсори-вказівники","settings.general.enterBehavior.description":"Якщо ввімкнено, для надсилання багаторядкових запитів потрібно натиснути {modifierSymbol} + Enter.","settings.general.enterBehavior.label":"Вимагати {modifierSymbol} + Enter для надсилання довгих запитів","settings.general.experimentalFeatures":"Експериментальні функції (бета-версія)","settings.general.experimentalFeatures.empty":"Немає доступних експериментальних функцій у бета-версії.","settings.general.experimentalFeatures.loading":"Завантаження експериментальних функцій…","settings.general.experimentalFeatures.restartNote":"Перезапустіть Codex, щоб застосувати зміни експериментальних функцій","settings.general.experimentalFeatures.toggle":"Перемкнути {featureName}","settings.general.followUpQueueMode.description":"Ставте подальші дії в чергу, поки працює Codex, або керуйте поточним виконанням. Натисніть {invertFollowUpShortcutLabel}, щоб виконати протилежну дію для одного повідомлення.","settings.general.followUpQueueMode.interrupt":"Керування виконанням","settings.general.followUpQueueMode.label":"Як обробляти подальші дії","settings.general.followUpQueueMode.queue":"Додати в чергу","settings.general.notifications":"Сповіщення","settings.general.power.preventSleepWhileRunning.description":"Не переводьте комп’ютер у режим сну, поки Codex виконує потік.","settings.general.power.preventSleepWhileRunning.label":"Запобігати переходу в режим сну під час виконання","settings.git.branchPrefix.ariaLabel":"Префікс гілки","settings.git.branchPrefix.description":"Префікс, що використовується під час створення нових гілок у Codex","settings.git.branchPrefix.label":"Префікс гілки","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Не вдалося зберегти префікс гілки","settings.git.branchPrefix.save.success":"Префікс гілки збережено","settings.git.commitInstructions.ariaLabel":"Інструкції для фіксації змін","settings.git.commitInstructions.description":"Додано до запитів для створення повідомлень фіксації змін","settings.git.commitInstructions.label":"Інструкції для фіксації змін","settings.git.commitInstructions.placeholder":"Додати рекомендації щодо повідомлення фіксації змін…","settings.git.commitInstructions.save":"Зберегти","settings.git.commitInstructions.save.error":"Не вдалося зберегти інструкції для фіксації змін","settings.git.commitInstructions.save.success":"Інструкції для фіксації змін збережено","settings.git.forcePush.ariaLabel":"Завжди примусово надсилати зміни","settings.git.forcePush.description":"Використовуйте --force-with-lease для надсилання змін із Codex","settings.git.forcePush.label":"Завжди примусово надсилати зміни","settings.git.forcePush.save.disabled":"Примусове надсилання змін вимкнено","settings.git.forcePush.save.enabled":"Примусове надсилання змін увімкнено","settings.git.forcePush.save.error":"Не вдалося зберегти налаштування примусового надсилання","settings.git.prInstructions.ariaLabel":"Інструкції для запиту на додавання змін","settings.git.prInstructions.description":"Додано до описів запитів на додавання змін, створених Codex","settings.git.prInstructions.label":"Інструкції для запиту на додавання змін","settings.git.prInstructions.placeholder":"Додати рекомендації для запиту на додавання змін…","settings.git.prInstructions.save":"Зберегти","settings.git.prInstructions.save.error":"Не вдалося зберегти інструкції для запиту на додавання змін","settings.git.prInstructions.save.success":"Інструкції для запиту на додавання змін збережено","settings.ide.defaultOpenTarget.description":"Місце, де файли й папки відкриваються за замовчуванням","settings.ide.defaultOpenTarget.label":"Місце для відкривання за замовчуванням","settings.ide.defaultOpenTarget.placeholder":"Не знайдено місць призначення","settings.ide.language.auto":"Автовизначення","settings.ide.language.autoOption":"Автовизначення","settings.ide.language.description":"Мова інтерфейсу програми","settings.ide.language.label":"Мова","settings.ide.language.search":"Шукати мови","settings.layout.actionButton":"Перезапустити розширення","settings.layout.actionTitle":"Налаштування з дією","settings.layout.fullWidthTitle":"Налаштування (повна ширина)","settings.layout.title":"Налаштування","settings.localEnvironments.actions.add":"Додати дію","settings.localEnvironments.actions.add.description":"Створіть нову команду для запуску з панелі інструментів.","settings.localEnvironments.actions.add.save":"Зберегти","settings.localEnvironments.actions.empty":"Додайте дію, щоб запускати команди з локальної панелі інструментів.","settings.localEnvironments.actions.icon.debug":"Налагодження","settings.localEnvironments.actions.icon.run":"Виконується","settings.localEnvironments.actions.icon.test":"Перевірити","settings.localEnvironments.actions.icon.tool":"Інструмент","settings.localEnvironments.actions.item.button.delete":"Видалити","settings.localEnvironments.actions.item.command":"Сценарій дій","settings.localEnvironments.actions.item.name":"Ім’я","settings.localEnvironments.actions.item.platforms":"Платформи","settings.localEnvironments.actions.item.platforms.help":"Виконувати лише на певній ОС.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Вибір платформи","settings.localEnvironments.actions.item.platforms.specific":"Для певної платформи","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Видалити","settings.localEnvironments.actions.title":"Дії","settings.localEnvironments.breadcrumb.back":"Назад","settings.localEnvironments.breadcrumb.edit":"редагувати","settings.localEnvironments.breadcrumb.root":"Середовища","settings.localEnvironments.environment.actions.description":"Ці дії можуть запускати будь-які команди й відображатимуться в заголовку.","settings.localEnvironments.environment.actionsLabel":"Дії","settings.localEnvironments.environment.create":"Створити локальне середовище","settings.localEnvironments.environment.defaultName":"локально","settings.localEnvironments.environment.edit":"Редагувати локальне середовище","settings.localEnvironments.environment.empty":"Для цього проєкту ще не налаштовано локальне середовище.","settings.localEnvironments.environment.name":"Ім’я","settings.localEnvironments.environment.setup":"Сценарій налаштування","settings.localEnvironments.environment.setup.description":"Цей сценарій виконуватиметься при створенні робочого дерева.","settings.localEnvironments.environment.setup.hint":"Виконується в кореневій папці проєкту.","settings.localEnvironments.environment.setup.platformOverrides":"Налаштування для конкретної платформи","settings.localEnvironments.environment.setup.platformOverrides.add":"Додати сценарій налаштування {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Перевизначення сценарію за замовчуванням для певних операційних систем.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Вилучити","settings.localEnvironments.environment.setup.script":"Сценарій","settings.localEnvironments.environment.title":"Відомості про середовище","settings.localEnvironments.file.missing":"Збережіть, щоб створити цей файл уперше.","settings.localEnvironments.file.parseError":"Не вдалося проаналізувати наявний файл. У разі збереження його буде перезаписано. ({error})","settings.localEnvironments.file.path":"Файл: {path}","settings.localEnvironments.file.readError":"Не вдалося завантажити дані локального середовища. ({error})","settings.localEnvironments.file.title":"Файл локального середовища","settings.localEnvironments.loading.body":"Отримання конфігурації проєкту.","settings.localEnvironments.loading.title":"Завантаження локальних середовищ","settings.localEnvironments.preview.devOnly":"(Лише розробники)","settings.localEnvironments.preview.save":"Зберегти","settings.localEnvironments.preview.saveError":"Не вдалося зберегти файл. ({error})","settings.localEnvironments.preview.title":"Попередній перегляд","settings.localEnvironments.save.disabled.name":"Додайте назву середовища для збереження","settings.localEnvironments.save.disabled.noChanges":"Немає змін для збереження.","settings.localEnvironments.save.disabled.saving":"Збереження…","settings.localEnvironments.save.success":"Локальне середовище збережено","settings.localEnvironments.unavailable.body":"Не вдалося завантажити налаштування локального середовища для цього проєкту.","settings.localEnvironments.unavailable.title":"Локальні середовища недоступні","settings.localEnvironments.workspace.add":"Додати проєкт","settings.localEnvironments.workspace.title":"Проєкт","settings.localEnvironments.workspaceSelect.addLabel":"Додати середовище","settings.localEnvironments.workspaceSelect.description":"Локальні середовища повідомляють Codex, як налаштовувати робочі дерева для проєкту. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Проєктів ще немає. Додайте проєкт, щоб налаштувати локальні середовища.","settings.localEnvironments.workspaceSelect.errorLabel":"Середовище потребує уваги","settings.localEnvironments.workspaceSelect.learnMore":"Докладніше","settings.localEnvironments.workspaceSelect.listLabel":"Доступні проєкти","settings.localEnvironments.workspaceSelect.loading":"Завантаження проєктів.","settings.localEnvironments.workspaceSelect.loadingLabel":"Завантаження середовища","settings.localEnvironments.workspaceSelect.title":"Виберіть проєкт","settings.localEnvironments.workspaceSelect.viewAction":"Переглянути","settings.mcp.addServer":"Додати сервер","settings.mcp.app.configure":"Налаштувати","settings.mcp.app.connect":"Підключити","settings.mcp.apps.refresh":"Оновити","settings.mcp.detail.addArgument":"Додати аргумент","settings.mcp.detail.addEnvVar":"Додати змінну середовища","settings.mcp.detail.addEnvVarPassthrough":"Додати змінну","settings.mcp.detail.args":"Аргументи","settings.mcp.detail.back":"Назад","settings.mcp.detail.command":"Команда для виконання","settings.mcp.detail.cwd":"Робочий каталог","settings.mcp.detail.docs":"Відкрити документацію MCP","settings.mcp.detail.docs.link":"Документи","settings.mcp.detail.envVarPassthrough":"Передача змінних середовища","settings.mcp.detail.envVars":"Змінні середовища","settings.mcp.detail.http.addEnvHeader":"Додати змінну","settings.mcp.detail.http.addHeader":"Додати заголовок","settings.mcp.detail.http.bearerToken":"Змінна середовища «Токен на пред’явника»","settings.mcp.detail.http.envHeaders":"Заголовки зі змінних середовища","settings.mcp.detail.http.headers":"Заголовки","settings.mcp.detail.http.url":"URL-адреса","settings.mcp.detail.name":"Ім’я","settings.mcp.detail.save":"Зберегти","settings.mcp.detail.switchTransportNotice":"Щоб змінити тип сервера МСР, спочатку його треба видалити.","settings.mcp.detail.titleExisting":"Оновити МСР {name}","settings.mcp.detail.titleNew":"Підключіться до спеціального МСР","settings.mcp.detail.transport.http":"Streamable HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Деінсталювати","settings.mcp.empty":"Не підключено жодного спеціального сервера МСР","settings.mcp.myServers":"Спеціальні сервери","settings.mcp.partnerServer.description.figma":"Генеруйте кращий код із додаванням повного контексту Figma","settings.mcp.partnerServer.description.github":"Використовуйте API GitHub для автоматизації робочих процесів і видобування даних","settings.mcp.partnerServer.description.linear":"Використовуйте Linear для відстеження завдань і керування проєктами","settings.mcp.partnerServer.description.notion":"Читання документів, оновлення сторінок, керування завданнями","settings.mcp.partnerServer.description.playwright":"Використовуйте автоматизацію бравзера для впровадження дизайну й перевірки інтерфейсу.","settings.mcp.partnerServer.install":"Установити","settings.mcp.partnerServer.installAndAuthenticate":"Установити й автентифікувати","settings.mcp.partnerServer.logoAlt":"Логотип «{label}»","settings.mcp.partnerServer.manage":"Керувати","settings.mcp.partnerServer.vendor":"користувач: {vendor}","settings.mcp.recommendedServers":"Рекомендовані сервери","settings.mcp.restartApp":"Перезапустити","settings.mcp.restartExtension":"Перезапустити розширення","settings.mcp.server.enable":"Увімкнути","settings.mcp.server.login":"Автентифікуватися","settings.mcp.server.settings":"Налаштування","settings.multiselect.createOption":"Створити «{value}»","settings.multiselect.removeOption":"Вилучити","settings.nav.account":"Обліковий запис","settings.nav.agent":"Конфігурація","settings.nav.ariaLabel":"Налаштування","settings.nav.back":"Повернутися до програми","settings.nav.data-controls":"Архівовані ланцюжки","settings.nav.environments":"Хмарні середовища","settings.nav.externalTooltip":"[alpha] Відкривається в бравзері","settings.nav.general-settings":"Загальні","settings.nav.git-settings":"Git","settings.nav.local-environments":"Середовища","settings.nav.mcp-settings":"Сервери MCP","settings.nav.notImplemented":"[alpha] Недоступно в альфа-версії","settings.nav.personalization":"Персоналізація","settings.nav.skills-settings":"Навички","settings.nav.usage-analytics":"Використання й аналітика","settings.nav.worktrees":"Робочі дерева","settings.openSourceLicenses.back":"Назад","settings.openSourceLicenses.loading":"Завантаження…","settings.openSourceLicenses.missing":"Повідомлень від сторонніх компонентів не знайдено.","settings.openSourceLicenses.notSupported":"Недоступно на цьому хості.","settings.openSourceLicenses.rowDescription":"Повідомлення від сторонніх компонентів для вбудованих залежностей","settings.openSourceLicenses.rowLabel":"Ліцензії відкритого коду","settings.openSourceLicenses.subtitle":"Повідомлення від сторонніх компонентів для залежностей, включених у цю програму","settings.openSourceLicenses.title":"Ліцензії відкритого коду","settings.openSourceLicenses.view":"Переглянути","settings.personalization.agents.description":"Редагуйте інструкції, які налаштовують Codex для вас. {learnMore}","settings.personalization.agents.learnMore":"Докладніше","settings.personalization.agents.loadError":"Не вдалося завантажити список агентів.","settings.personalization.agents.loading":"Завантаження agents.md…","settings.personalization.agents.placeholder":"Додайте спеціальні інструкції…","settings.personalization.agents.retry":"Повторити спробу","settings.personalization.agents.save":"Зберегти","settings.personalization.agents.save.error":"Не вдалося зберегти agents.md","settings.personalization.agents.save.success":"Файл agents.md збережено","settings.personalization.agents.title":"Спеціальні інструкції","settings.personalization.personality.description":"Виберіть стандартний тон відповідей Codex","settings.personalization.personality.label":"Особистість","settings.sample.contentBody":"Використовуйте цей макет для створення панелей налаштувань з узгодженими відступами.","settings.sample.contentTitle":"Зразок блоку вмісту","settings.section.account":"Обліковий запис","settings.section.agent":"Конфігурація","settings.section.data-controls":"Архівовані ланцюжки","settings.section.environments":"Хмарні середовища","settings.section.external":"Відкривається в бравзері на стадії альфа-версії","settings.section.general-settings":"Загальні","settings.section.git-settings":"Git","settings.section.local-environments":"Середовища","settings.section.mcp-settings":"Сервери MCP","settings.section.mcp-settings.docs":"Документи","settings.section.mcp-settings.subtitle":"Підключайте зовнішні інструменти та джерела даних.","settings.section.personalization":"Персоналізація","settings.section.skills-settings":"Навички","settings.section.unavailable":"Поки що недоступно в альфа-версії","settings.section.usage-analytics":"Використання й аналітика","settings.section.worktrees":"Робочі дерева","settings.threadDetail.description":"Виберіть, скільки виводу команд показувати в ланцюжках","settings.threadDetail.label":"Деталі ланцюжка","settings.worktrees.conversation.untitled":"Розмова без назви","settings.worktrees.delete.error":"Не вдалося видалити робоче дерево","settings.worktrees.empty.body":"Тут з’являтимуться робочі дерева, створені Codex.","settings.worktrees.empty.title":"Робочих дерев поки немає","settings.worktrees.error.body":"Під час завантаження робочих дерев сталася помилка.","settings.worktrees.error.retry":"Повторити спробу","settings.worktrees.error.title":"Не вдалося завантажити робочі дерева","settings.worktrees.loading.body":"Отримання відомостей про робоче дерево","settings.worktrees.loading.title":"Завантаження робочих дерев","settings.worktrees.repository.loading":"Завантаження метаданих репозиторію…","settings.worktrees.repository.unknown":"Невідоме сховище","settings.worktrees.row.conversations":"Розмови","settings.worktrees.row.conversations.empty":"Із цим робочим деревом не пов’язано жодної розмови.","settings.worktrees.row.conversations.loading":"Завантаження розмов…","settings.worktrees.row.delete":"Видалити","settings.worktrees.row.title":"Робоче дерево","sidebarElectron.addWorkspaceRoot":"Додати новий проєкт","sidebarElectron.archiveThread":"Архівувати ланцюжок","sidebarElectron.archiveThreadError":"Не вдалось архівувати ланцюжок","sidebarElectron.collapseFolder":"Згорнути папку","sidebarElectron.createStableWorktree.dialog.cancel":"Скасувати","sidebarElectron.createStableWorktree.dialog.create":"Створити","sidebarElectron.debugNavLink":"Налагодження","sidebarElectron.editWorkspaceRootOptionName":"Редагувати назву","sidebarElectron.expandFolder":"Розгорнути папку","sidebarElectron.groupByMenu.recency":"Список у хронологічному порядку","sidebarElectron.groupByMenu.title":"Упорядкувати","sidebarElectron.groupByMenu.workspace":"За проєктом","sidebarElectron.inboxRouteNavLink":"Автоматизації","sidebarElectron.markThreadUnread":"Позначити як непрочитане","sidebarElectron.missingWorkspaceRoot":"Цю папку проєкту було видалено або переміщено","sidebarElectron.newThread":"Новий ланцюжок","sidebarElectron.newThreadInGroup":"Почати новий ланцюжок у {folder}","sidebarElectron.noRecentThreads":"Немає нещодавніх ланцюжків","sidebarElectron.noTasks":"Немає ланцюжків","sidebarElectron.noTasks.start":"Додати новий проєкт","sidebarElectron.noTasksWithFilter":"Немає ланцюжків, що відповідають фільтрам","sidebarElectron.pinnedThreads":"Закріплені ланцюжки","sidebarElectron.recentNavLink":"Ланцюжки","sidebarElectron.recentThreads":"Нещодавні ланцюжки","sidebarElectron.removeWorkspaceRootOption":"Вилучити","sidebarElectron.renameThread":"Перейменувати ланцюжок","sidebarElectron.renameThreadDialogAriaLabel":"Назва ланцюжка","sidebarElectron.renameThreadDialogCancel":"Скасувати","sidebarElectron.renameThreadDialogPlaceholder":"Додати назву…","sidebarElectron.renameThreadDialogSave":"Зберегти","sidebarElectron.renameThreadDialogSubtitle":"Вона має бути короткою та впізнаваною.","sidebarElectron.renameThreadDialogTitle":"Перейменувати ланцюжок","sidebarElectron.renameThreadError":"Не вдалося перейменувати ланцюжок","sidebarElectron.renameWorkspaceRootOptionLabel":"Відображувана назва","sidebarElectron.showLess":"Показати менше","sidebarElectron.showMenu.all":"Усі ланцюжки","sidebarElectron.showMenu.relevant":"Релевантний","sidebarElectron.showMenu.relevantHint":"Показувати лише нещодавні ланцюжки для поточної гілки, робочих дерев або інші ланцюжки, що потребують вашої уваги","sidebarElectron.showMenu.title":"Показати","sidebarElectron.showMenu.tooltip":"Фільтруйте, сортуйте й упорядковуйте ланцюжки","sidebarElectron.showMenu.trigger":"Фільтрувати ланцюжки на бічній панелі","sidebarElectron.showMore":"Показати більше","sidebarElectron.skillsRouteNavLink":"Навички","sidebarElectron.sortMenu.created":"Створено","sidebarElectron.sortMenu.title":"Сортувати за","sidebarElectron.sortMenu.updated":"Оновлено","sidebarElectron.taskNavigation":"Папки для автоматизацій","sidebarElectron.tasksInFolder":"Автоматизації в {folder}","sidebarElectron.workspaceOptions":"Дії з проєктом {folder}","sidebarElectron.worktreeGroupTooltip":"Це робоче дерево git","skills.appsPage.createSkill":"Нова навичка","skills.appsPage.empty.skills":"Не знайдено жодної навички","skills.appsPage.search.skills":"Шукати навички","skills.appsPage.search.skills.label":"Шукати навички","skills.appsPage.section.installedApps":"Установлено","skills.appsPage.section.skills":"Навички","skills.appsPage.subheading":"Розширення можливостей Codex. <link>Докладніше</link>","skills.appsPage.tab.recommended":"Рекомендовано","skills.appsPage.tab.skills":"Навички","skills.card.contentsError":"Не вдалося завантажити вміст навички.","skills.card.disable":"Вимкнути","skills.card.disableSuccess":"Навичку {skillName} вимкнено","skills.card.disabledBadge":"Вимкнено","skills.card.enable":"Увімкнути","skills.card.enableSuccess":"Навичку {skillName} ввімкнено","skills.card.loadingContents":"Завантаження вмісту навички…","skills.card.more":"Інші дії","skills.card.open":"Відкрити","skills.card.removeFailed":"Не вдалося видалити навичку","skills.card.removeSuccess":"Навичку {skillName} видалено","skills.card.toggleEnabledError":"Не вдалось оновити навички","skills.card.try":"Спробувати","skills.card.trySkill":"Спробувати навичку","skills.card.uninstall":"Деінсталювати","skills.hero.dotLabel":"Перейти до слайду {index}","skills.hero.next":"Наступна рекомендована навичка","skills.hero.trySkill":"Спробувати навичку","skills.page.createSkill":"Нова навичка","skills.page.empty":"Не знайдено жодної навички","skills.page.filteredEmpty":"За вибраними фільтрами не знайдено жодної навички","skills.page.filteredEmptyDescription":"Спробуйте змінити пошуковий запит або область пошуку","skills.page.heading":"Навички","skills.page.loading":"Завантаження навичок…","skills.page.refreshSkills":"Оновити","skills.page.refreshSkillsToUseNew":"Оновіть, щоб скористатися новими навичками","skills.page.search":"Шукати навички","skills.page.search.label":"Шукати навички","skills.page.subheading":"Розширення можливостей Codex. <link>Докладніше</link>","skills.preview.copyPrompt":"Копіювати запит","skills.preview.examplePrompt":"Приклад запиту","skills.recommended.error":"Не вдалося завантажити рекомендовані навички","skills.recommended.install":"Установити","skills.recommended.installSkill":"Установити навичку","skills.recommended.installSuccess":"Навичку {skillName} встановлено","skills.recommended.installed":"Установлено","skills.scope.admin":"Адміністратор","skills.scope.adminInstalled":"Установлені адміністратором","skills.scope.builtIn":"Системна","skills.scope.personal":"Особистий","skills.scope.repo":"Сховище","skills.scope.system":"Системна","skills.scope.team":"Team","skills.scope.user":"Користувач","skills.section.installed":"Установлено","skills.section.recommended":"Рекомендовано","story.slidingToggle.existing":"Наявні","story.slidingToggle.fromLocal":"Із локального середовища","story.slidingToggle.new":"Новий","story.slidingToggle.toLocal":"До локального середовища","terminal.close":"Закрити термінал","terminal.title":"Термінал","thinkingShimmer.default":"Триває обробка","threadEnvIcon.cloudTooltip":"Ця розмова виконується в Codex Cloud.","threadEnvIcon.localTooltip":"Ця розмова виконується локально.","threadEnvIcon.worktreeTooltip":"Ця розмова виконується в локальному робочому дереві git.","threadHeader.archiveConfirmCancel":"Скасувати","threadHeader.archiveConfirmConfirm":"Архівувати","threadHeader.archiveConfirmSubtitle":"Ви зможете знайти це пізніше в архівованих ланцюжках.","threadHeader.archiveConfirmTitle":"Архівувати ланцюжок?","threadHeader.copyAppLink":"Копіювати точне посилання","threadHeader.copySessionId":"Копіювати ідентифікатор сеансу","threadHeader.copyWorkingDirectory":"Копіювати робочий каталог","threadHeader.forkIntoLocal":"Створити форк локально","threadHeader.forkIntoWorktree":"Створити форк у новому робочому дереві","threadHeader.forkPendingWorktreePrompt":"Створити форк цієї розмови в новому робочому дереві.","threadHeader.forkPendingWorktreeTitle":"Форк розмови","threadHeader.forkThreadError":"Не вдалося створити форк ланцюжка","threadHeader.forkThreadRequiresGitRepo":"Для створення форку в новому робочому дереві потрібен репозиторій Git","threadHeader.moreActions":"Дії з ланцюжком","threadPage.newThread":"Новий ланцюжок","threadPage.runAction.changeEnvironment":"Змінити середовище","threadPage.runAction.dropdown.titleWithEnvironment":"Дії {environmentName}","threadPage.runAction.environmentSelector.label":"Виберіть середовище","threadPage.runAction.label":"Виконується","threadPage.runAction.missing.label":"Налаштувати дію запуску","threadPage.runAction.setup.commandLabel":"Команда для запуску","threadPage.runAction.setup.description":"Поясніть Codex, як установити залежності та запустити програму.","threadPage.runAction.setup.editMore":"Налаштування середовища","threadPage.runAction.setup.placeholder":"наприклад: npm install; npm run","threadPage.runAction.setup.submit":"Зберегти й запустити","threadPage.runAction.setup.title":"Виконується","threadPage.runAction.tooltip.withEnvironment":"Дії {environmentName}","threadPage.toggleDiffPanel":"Увімкнути/вимкнути панель відображення відмінностей","threadPage.toggleTerminal":"Увімкнути/вимкнути термінал","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Відкрити папку","toolSummaryForCmd.exploredFiles":"<verb>Список</verb> файлів","toolSummaryForCmd.exploredFilesInPath":"<verb>Список</verb> файлів у {path}","toolSummaryForCmd.exploringFiles":"<verb>Створення списку</verb> файлів","toolSummaryForCmd.exploringFilesInPath":"<verb>Створення списку</verb> файлів у {path}","toolSummaryForCmd.ranGenericCommand":"<status>Виконано команду</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Виконано</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Прочитано</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Виконується команда</status>{timer}","toolSummaryForCmd.runningTimer":"для {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Виконано пошук</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Виконано пошук</verb> файлів","toolSummaryForCmd.searchedForInPath":"<verb>Виконано пошук</verb> {query} у {path}","toolSummaryForCmd.searchingFor":"<verb>Пошук</verb> за запитом {query}","toolSummaryForCmd.searchingForFiles":"<verb>Пошук</verb> файлів","toolSummaryForCmd.searchingForInPath":"<verb>Пошук</verb> {query} у {path}","traceRecording.details.noteLabel":"Що ви робили, коли це сталося? (необов’язково)","traceRecording.details.notePlaceholder":"Перейшов(-ла) до великого ланцюжка, після чого багаторазово перемикав(-ла) вкладки…","traceRecording.details.submit":"Надіслати трасування","traceRecording.details.subtitle":"Ми можемо надіслати трасування цього профілю, щоб допомогти з діагностикою проблем продуктивності.","traceRecording.details.title":"Надіслати трасування профілю?","traceRecording.progress.subtitle":"Залишайте Codex відкритим, доки процес не завершиться.","traceRecording.saving.title":"Збереження трасування…","traceRecording.startDetails.cancel":"Скасувати","traceRecording.startDetails.submit":"ОК, почати записування","traceRecording.startDetails.subtitle":"Після натискання «ОК» відтворіть проблему з продуктивністю, а потім натисніть рухомий червоний індикатор, щоб зупинити запис і переглянути трасування.","traceRecording.startDetails.title":"Як працює запис трасування","traceRecording.stopButton.ariaLabel":"Зупинити запис трасування","traceRecording.upload.successToast":"Трасування профілю надіслано.","traceRecording.uploading.title":"Передавання трасування…","wham.diff.addComment":"Додати коментар","wham.diff.binaryFile":"Двійковий файл не відображається","wham.diff.noContent":"Немає вмісту","wham.fileTag.deleted":"Видалено","wham.fileTag.new":"Новий","wham.formattedRelativeDateTime.compactDaysAgo":"{value} дн","wham.formattedRelativeDateTime.compactHoursAgo":"{value} год","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} хв","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} міс.","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} тиж.","wham.formattedRelativeDateTime.compactYearsAgo":"{value} р.","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Здійснюється підготовка завдання","wham.whamProposedTask.title":"Рекомендоване завдання","wham.whamProposedTask.useSuggestion":"Використати рекомендацію","workspaceRootDialog.addError":"Не вдалося додати проєкт","workspaceRootDialog.cancel":"Скасувати","workspaceRootDialog.confirmAdd":"Додати проєкт","workspaceRootDialog.confirmPick":"Використовувати проєкт","workspaceRootDialog.description":"Вкажіть шлях у {host}, який потрібно використати як проєкт.","workspaceRootDialog.pathLabel":"Шлях до проєкту","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Додати шлях до проєкту","workspaceRootDialog.title.pick":"Вибрати шлях до проєкту","worktreeInitV2.cancel":"Скасувати","worktreeInitV2.notification.failedTitle":"Не вдалося налаштувати робоче дерево","worktreeInitV2.output.empty":"Очікування вихідних даних…","worktreeInitV2.status.error":"Не вдалося налаштувати робоче дерево.","worktreeInitV2.status.running":"Створення і налаштування робочого дерева.","worktreeInitV2.status.runningFork":"Створення робочого дерева для форку цієї розмови.","worktreeInitV2.status.success":"Робоче дерево готове.","worktreeInitV2.title":"Створення робочого дерева","worktreeInitV2.workLocallyInstead":"Натомість працювати локально","worktreeRestoreBanner.body":"Робоче дерево цього потоку було видалено для економії місця на диску","worktreeRestoreBanner.missing.body":"Робочий каталог цього потоку більше не існує","worktreeRestoreBanner.missing.title":"Поточний робочий каталог відсутній","worktreeRestoreBanner.restore.error":"Не вдалося відновити робоче дерево: {message}","worktreeRestoreBanner.restore.success":"Робоче дерево відновлено","worktreeRestoreBanner.restoreCta":"Відновити робоче дерево","worktreeRestoreBanner.title":"Робоче дерево очищено"};Object.assign(e,globalThis.codexI18nOverrides?.["uk-UA"]);export{e as default};
 //# sourceMappingURL=uk-UA-D7oquvHZ.js.map
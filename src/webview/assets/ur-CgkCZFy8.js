@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"کاپی کریں","app.sidebar.hide":"سائیڈ بار چھپائیں","app.sidebar.show":"سائیڈ بار دکھائیں","app.sidebar.tooltip":"ٹوگل سائیڈ بار","appHeader.installUpdate":"اپ ڈیٹ کریں","appSunset.body":"ایپ کا یہ ورژن مزید تعاون یافتہ نہیں ہے۔ براہ کرم <here>یہاں</here> سے تازہ ترین ورژن ڈاؤن لوڈ کریں۔","appSunset.title":"اپ ڈیٹ درکار ہے","automation.updateDirective.create":"بنائیں","automation.updateDirective.open":"کھولیں","automation.updateDirective.untitled":"بلا عنوان آٹومیشن","automation.updateDirective.update":"اپ ڈیٹ کریں","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# کوشش} other {# کوششیں}}","cloudTaskRow.archiveError":"ٹاسک آرکائیو نہیں کیا جا سکا","code.diff.requestChange":"تبدیلی کی درخواست کریں","code.diffComment.cancel":"منسوخ کریں","code.diffComment.comment":"تبصرہ کریں","code.diffComment.delete":"حذف کریں","code.diffComment.save":"محفوظ کریں","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"کوئی نتائج رپورٹ نہیں کیے گئے۔","codex.alert.closeAriaLabel":"بند کریں","codex.appUpsellBanner.cbpApi.message":"Codex ایپ کے ساتھ تیزی سے تعمیر کریں۔ ابھی ڈاؤن لوڈ کریں یا {learnMoreLink}۔","codex.appUpsellBanner.download":"ڈاوٴن لوڈ کریں","codex.appUpsellBanner.freeGo.message":"کوڈیکس آپ کے پلان میں 2 مارچ تک شامل ہے۔ تیزی سے بنانے کے لیے Codex ایپ کو آزمائیں۔","codex.appUpsellBanner.later":"بعد میں","codex.appUpsellBanner.learnMoreLowercase":"مزید جانیں","codex.appUpsellBanner.new":"نیا","codex.appUpsellBanner.proPlusBusiness.message":"2 اپریل تک 2x شرح کی حد کے ساتھ Codex ایپ کو آزمائیں۔ ابھی ڈاؤن لوڈ کریں یا {learnMoreLink}۔","codex.appUpsellBanner.title":"Codex ایپ","codex.applyDropdown.header.changes":"تبدیلیاں","codex.applyDropdown.header.fileCount":"{count, plural, one {# فائل} other {# فائلیں}}","codex.applyDropdown.header.rows":"قطاریں","codex.applyDropdown.header.title":"تبدیلیاں لاگو کریں","codex.applyDropdown.header.workspace":"پراجیکٹ","codex.applyDropdown.results.conflicted":"{count, plural, one {1 فائل متصادم ہوا ہے:} other {{count} فائلیں متصادم ہوئے ہیں:}}","codex.applyDropdown.results.empty":"کسی فائل کو کاپی نہیں کیا گیا","codex.applyDropdown.results.skipped":"{count, plural, one {1 فائل کو نظر انداز کر دیا گیا:} other {{count} فائلوں کو نظر انداز کر دیا گیا:}}","codex.applyOrRevertBanner.apply":"اطلاق کریں","codex.applyOrRevertBanner.applyMessage":"تبدیلیوں کا اطلاق کریں اور مقامی طور پر جاری رکھیں؟","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"یہ ٹاسک {environment} میں بنایا گیا تھا، اس لیے اس کا صاف طور پر اطلاق نہیں ہوسکتا۔","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment} میں تبدیلیاں کی گئی ہیں، اس لیے صاف طور پر اطلاق نہیں ہوسکتا۔","codex.applyOrRevertBanner.reapply":"دوبارہ اطلاق کریں","codex.applyOrRevertBanner.revert":"واپس آئیں","codex.applyOrRevertBanner.revertMessage":"اطلاق کردہ تبدیلیاں واپس لیں؟","codex.applyResultsDialog.applied":"صاف طور پر اطلاق کردہ ({count})","codex.applyResultsDialog.close":"بند کریں","codex.applyResultsDialog.conflicted":"متضاد ({count})","codex.applyResultsDialog.noDetails":"فائل کی تفصیلات دستیاب نہیں۔","codex.applyResultsDialog.skipped":"چھوڑ دیا ({count})","codex.applyResultsDialog.title":"نتائج کا اطلاق کریں","codex.archiveInfo":"{dataControlsLink}آرکائیو شدہ چیٹس دیکھیں","codex.archiveInfo.dataControlsLink":"ڈیٹا کنٹرولز","codex.archiveInfo.electron":"{settingsLink} میں آرکائیو شدہ چیٹس دیکھیں","codex.archiveInfo.extension":"اپنے .codex فولڈر میں محفوظ شدہ چیٹس دیکھیں۔","codex.archiveInfo.settingsLink":"ترتیبات","codex.banner.content.description":"ٹاسکس کو متوازی طور پر چلائیں، کہیں بھی پیشرفت کو ٹریک کریں، اور AI کے ساتھ PRs کا جائزہ لیں۔","codex.banner.content.headline":"Codex یہ سب کرتا ہے۔","codex.cloudTaskRow.archiveTask":"چیٹ آرکائیو کریں","codex.cloudTaskRow.confirmArchiveTask":"تصدیق کریں","codex.command.feedback":"رائے","codex.command.findInThread":"ڈھونڈیں","codex.command.forceReloadSkills":"مہارت کو دوبارہ لوڈ کریں","codex.command.logOut":"لاگ آوٴٹ کریں","codex.command.manageTasks":"ٹاسکس کا نظم کریں","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"واپس جائیں","codex.command.navigateForward":"آگے بڑھیں","codex.command.newThread":"نئی سیریز","codex.command.nextThread":"اگلا تھریڈ","codex.command.openFolder":"فولڈر کھولیں","codex.command.openSkills":"مہارت پر جائیں","codex.command.openThreadOverlay":"پاپ آؤٹ تھریڈ","codex.command.personalitySettings":"شخصیت","codex.command.previousThread":"گزشتہ تھریڈ","codex.command.settings":"ترتیبات","codex.command.toggleDiffPanel":"فرق کے پینل کو ٹوگل کریں","codex.command.toggleSidebar":"ٹوگل سائیڈ بار","codex.command.toggleTerminal":"ٹرمنل کو ٹوگل کریں","codex.commandGroup.app":"ایپ","codex.commandGroup.configure":"کنفیگر کریں","codex.commandGroup.navigation":"نیویگیشن","codex.commandGroup.panels":"پینلز","codex.commandGroup.skills":"مہارتیں","codex.commandGroup.thread":"تھریڈ","codex.commandGroup.workspace":"پراجیکٹ","codex.commandMenu.noResults":"کوئی مماثل نہیں","codex.commandMenu.searchPlaceholder":"سرچ کمانڈز","codex.commandMenu.suggestedGroup":"تجویز کردہ","codex.commandMenu.switchWorkspace":"پروجیکٹ سوئچ کریں","codex.commandMenu.title":"کمانڈ مینو","codex.common.retry":"دوبارہ کوشش کریں","codex.composer.searchBranches":"برانچز تلاش کریں","codex.dialog.basic.body":"یہ Radix Dialog کے حوالے سے ہمارے ریپر کا استعمال کرتے ہوئے ایک سادہ موڈل ڈائیلاگ ہے۔","codex.dialog.basic.cancel":"منسوخ کریں","codex.dialog.basic.confirm":"تصدیق کریں","codex.dialog.basic.open":"ڈائیلاگ کھولیں","codex.dialog.basic.title":"نمونہ ڈائیلاگ","codex.dialog.long.close":"بند کریں","codex.dialog.long.line":"ڈائیلاگ کے اندر طویل مواد کو ظاہر کرنے کے لیے اسکرول کے قابل لائن {index}۔","codex.dialog.long.open":"طویل ڈائیلاگ کھولیں","codex.dialog.long.title":"طویل مواد کا ڈائیلاگ","codex.dialog.unstyled.body":"یہ کہانی دکھاتی ہے کہ کالرز کس طرح ڈائیلاگ کے مواد کی اسٹائلنگ پر مکمل کنٹرول حاصل کر سکتے ہیں۔","codex.dialog.unstyled.open":"بغیر اسٹائل کے ڈائیلاگ کھولیں","codex.dialog.unstyled.title":"بغیر اسٹائل کے مواد","codex.diff.openInEditorPrompt.openButton":"ایڈیٹر میں کھولیں","codex.diff.openInEditorPrompt.singleLine":"یہ فائل یہاں ڈسپلے کرنے کے لیے بہت بڑی ہے۔","codex.diffView.failedToDecodeBase64Diff":"base64 diff کو ڈی کوڈ کرنے میں ناکامی","codex.diffView.filesChanged":"{fileCount, plural, one {# فائل تبدیل ہوگئی} other {# فائلیں تبدیل ہوگئیں}}","codex.diffView.imagePreviewAlt":"تصویر کا پیش نظارہ","codex.diffView.imagePreviewEmpty":"کوئی تصویر نہیں","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"کوئی مختلف ڈیٹا نہیں ہے","codex.diffView.pdfPreview.nextPage":"اگلا صفحہ","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"پچھلا صفحہ","codex.diffView.pdfPreviewEmpty":"کوئی PDF پیش نظارہ نہیں","codex.diffView.pdfPreviewError":"PDF پیش نظارہ پیش کرنے سے قاصر","codex.diffView.richPreviewDisable":"رچ پیش نظارہ غیر فعال کریں","codex.diffView.richPreviewEnable":"رچ پیش نظارہ فعال کریں","codex.diffView.richPreviewLoading":"پیش نظارہ لوڈ کیا جا رہا ہے...","codex.diffView.richPreviewToggle":"پیش نظارہ کو ٹوگل کریں","codex.diffView.switchToUnified":"یکجا فرق پر سوئچ کریں","codex.environmentSelector.noEnvironment":"کوئی ماحول نہیں","codex.environments.environmentSettings":"ماحول کی ترتیبات","codex.environments.learnMore":"مزید جانیں","codex.environments.listError":"ماحول لوڈ نہیں کیا جا سکا۔","codex.environments.noEnvironmentsFound":"کوئی ماحول نہیں ملا","codex.environments.searchError":"ماحول تلاش کرنے میں ناکامی ہوئی۔","codex.errorBoundary.genericError":"افوہ، ایک خرابی پیش آگئی ہے!","codex.errorBoundary.goHome":"دوبارہ کوشش کریں","codex.file.patch.missing":"اس فائل کے لیے پیچ بنایا نہیں جا سکتا۔","codex.gallery.automations.cwdLabel":"پراجیکٹس/منصوبے","codex.gallery.automations.nameLabel":"نام","codex.gallery.automations.namePlaceholder":"کسی کام کا خلاصہ کریں","codex.gallery.automations.promptLabel":"پرامپٹ","codex.gallery.automations.promptPlaceholder":"بیان کریں کہ Codex کو کیا کرنا چاہیے","codex.gallery.dialogs.automation.label":"آٹومیشن ڈائیلاگ","codex.gallery.dialogs.basic.body":"اس ترتیب کو براہ راست تصدیق یا مختصر شکلوں کے لیے استعمال کریں۔","codex.gallery.dialogs.basic.cancel":"منسوخ کریں","codex.gallery.dialogs.basic.confirm":"تصدیق کریں","codex.gallery.dialogs.basic.label":"بنیادی ڈائیلاگ","codex.gallery.dialogs.basic.title":"نمونہ ڈائیلاگ","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"مسئلے کی وضاحت کریں","codex.gallery.dialogs.feedbackSubmission.bad":"برا نتیجہ","codex.gallery.dialogs.feedbackSubmission.bug":"بگ","codex.gallery.dialogs.feedbackSubmission.good":"اچھا نتیجہ","codex.gallery.dialogs.feedbackSubmission.includeLogs":"موجودہ Codex سیشن لاگز شامل کریں","codex.gallery.dialogs.feedbackSubmission.label":"رائے جمع کروا دی گئی","codex.gallery.dialogs.feedbackSubmission.other":"دیگر","codex.gallery.dialogs.feedbackSubmission.placeholder":"مسئلے کی یہاں وضاحت کریں","codex.gallery.dialogs.feedbackSubmission.submit":"جمع کرائیں","codex.gallery.dialogs.feedbackSubmission.title":"رائے","codex.gallery.dialogs.feedbackSuccess.body":"فیڈبیک اپ لوڈ ہو گئے۔ اگر مسئلہ برقرار رہتا ہے تو، براہ کرم ایک GitHub مسئلہ کھولیں یا موجودہ کھلے مسئلے میں تھریڈ آئی ڈی کا ذکر کریں:","codex.gallery.dialogs.feedbackSuccess.dismiss":"چھوڑ دیں","codex.gallery.dialogs.feedbackSuccess.label":"فیڈبیک کامیابی","codex.gallery.dialogs.feedbackSuccess.title":"فیڈبیک اپ لوڈ ہو گیا","codex.gallery.dialogs.gitApplyResults.applied":"صاف طور پر اطلاق کردہ (2)","codex.gallery.dialogs.gitApplyResults.close":"بند کریں","codex.gallery.dialogs.gitApplyResults.conflicted":"متضاد (1)","codex.gallery.dialogs.gitApplyResults.label":"نتائج کا اطلاق کریں","codex.gallery.dialogs.gitApplyResults.title":"نتائج کا اطلاق کریں","codex.gallery.dialogs.gitPushError.body":"اگر آپ جانتے ہیں کہ ریموٹ ہسٹری کو اوور رائٹ کرنا محفوظ ہے تو تازہ ترین تبدیلیوں کو کھینچیں یا زبردستی پش کریں۔","codex.gallery.dialogs.gitPushError.cancel":"منسوخ کریں","codex.gallery.dialogs.gitPushError.force":"زبردستی پش","codex.gallery.dialogs.gitPushError.label":"پش ایرر","codex.gallery.dialogs.gitPushError.subtitle":"آپ کی شاخ اصل/مین کے پیچھے ہے۔","codex.gallery.dialogs.gitPushError.title":"تبدیلیاں پُش کرنے میں ناکامی","codex.gallery.dialogs.gitRevert.cancel":"منسوخ کریں","codex.gallery.dialogs.gitRevert.confirm":"واپس آئیں","codex.gallery.dialogs.gitRevert.label":"تبدیلیاں رد کریں","codex.gallery.dialogs.gitRevert.skip":"دوبارہ نہ پوچھیں","codex.gallery.dialogs.gitRevert.subtitle":"یہ کارروائی ان تمام تبدیلیوں کو مٹا دیتی ہے۔","codex.gallery.dialogs.gitRevert.title":"تبدیلیاں رد کریں؟","codex.gallery.dialogs.longForm.label":"لمبا فارم ڈائیلاگ","codex.gallery.dialogs.proseModal.body":"یہ موڈل اسٹائل طویل ہدایات، آن بورڈنگ، یا بھرپور مواد بلاکس کے لیے استعمال ہوتا ہے۔","codex.gallery.dialogs.proseModal.close":"بند کریں","codex.gallery.dialogs.proseModal.subtitle":"طویل فارم رہنمائی یا دستاویزات یہاں شیئر کریں۔","codex.gallery.dialogs.proseModal.title":"نثر کا ماڈل","codex.gallery.dialogs.submitBlocked.label":"جمع کروانا بلاک کیا گیا ہے","codex.gallery.dialogs.submitBlocked.message":"آپ کا پیغام بھیجا نہیں جا سکا کیونکہ پروجیکٹ دستیاب نہیں ہے۔","codex.gallery.dialogs.submitBlocked.ok":"ٹھیک ہے","codex.gallery.dialogs.submitBlocked.title":"پیغام بھیجنے سے قاصر","codex.gallery.dialogs.title":"ڈائیلاگ","codex.gallery.dropdown.filterPlaceholder":"اشیاء فلٹر کریں","codex.gallery.dropdowns.actionRow":"کارروائی کی قطاریں","codex.gallery.dropdowns.actionRow.disabled":"غیر فعال شدہ کارروائی","codex.gallery.dropdowns.actionRow.primary":"بنیادی کارروائی","codex.gallery.dropdowns.actionRow.secondary":"ثانوی کارروائی","codex.gallery.dropdowns.actionRow.trigger":"کارروائیاں دکھائیں","codex.gallery.dropdowns.basic":"بنیادی ڈراپ ڈاؤن","codex.gallery.dropdowns.basic.newFile":"نئی فائل","codex.gallery.dropdowns.basic.newFolder":"نیا فولڈر","codex.gallery.dropdowns.basic.openSettings":"ترتیبات کھولیں","codex.gallery.dropdowns.basic.title":"فوری اقدامات","codex.gallery.dropdowns.basic.trigger":"مینو کھولیں","codex.gallery.dropdowns.basic.upload":"اپ لوڈ کریں","codex.gallery.dropdowns.panel":"پینل کی سطح","codex.gallery.dropdowns.panel.apply":"اطلاق کریں","codex.gallery.dropdowns.panel.body":"اختلافات کا جائزہ لیں اور اپنے پروجیکٹ پر لاگو کریں۔","codex.gallery.dropdowns.panel.preview":"پیش نظارہ","codex.gallery.dropdowns.panel.title":"تبدیلیاں لاگو کریں","codex.gallery.dropdowns.panel.trigger":"پینل کھولیں","codex.gallery.dropdowns.search":"قابل تلاش ڈراپ ڈاؤن","codex.gallery.dropdowns.search.first":"الفا چینل","codex.gallery.dropdowns.search.second":"بیٹا برانچ","codex.gallery.dropdowns.search.third":"رہائی کے امیدوار","codex.gallery.dropdowns.search.trigger":"اشیاء فلٹر کریں","codex.gallery.dropdowns.submenu":"ذیلی مینیو کے ساتھ ڈراپ ڈاؤن","codex.gallery.dropdowns.submenu.optionA":"پروجیکٹ الفا","codex.gallery.dropdowns.submenu.optionB":"پروجیکٹ بیٹا","codex.gallery.dropdowns.submenu.optionC":"پروجیکٹ گاما","codex.gallery.dropdowns.submenu.primary":"مالک کو سونپیں","codex.gallery.dropdowns.submenu.secondary":"کو منتقل کریں","codex.gallery.dropdowns.submenu.tertiary":"آرکائیو کریں","codex.gallery.dropdowns.submenu.trigger":"عمل کا انتخاب کریں","codex.gallery.dropdowns.title":"ڈراپ ڈاؤن","codex.gallery.inbox.automations.close":"بند کریں","codex.gallery.inbox.automations.popover.cardTitle":"آٹومیشنز کا نظم کریں","codex.gallery.inbox.automations.popover.dialogTitle":"آٹومیشنز کا نظم کریں","codex.header.settingsTooltip":"ترتیبات","codex.hunk.patch.error":"اسٹیج نہیں کیا جا سکا","codex.hunk.patch.missing":"اس ہنک کے لیے پیچ بنایا نہیں جا سکتا۔","codex.hunk.patch.partialSuccess":"جزوی کامیابی","codex.hunk.patch.revertError":"ان اسٹیج نہیں کیا جا سکا","codex.hunk.patch.revertSuccess":"کامیابی سے ان اسٹیج ہو گیا","codex.hunk.patch.success":"کامیابی سے اسٹیج ہو گیا","codex.legal.autonomy.details":"مزید تفصیلات کے لیے {link} دیکھیں","codex.legal.autonomy.details.link":"Codex دستاویزات","codex.legal.autonomy.title":"فیصلہ کریں کہ آپ کتنی خود مختاری دینا چاہتے ہیں","codex.legal.backButton":"واپس جائیں","codex.legal.cloud.taskOne.meta":"openai/agi · اکتوبر 12","codex.legal.cloud.taskOne.title":"نئے ڈیزائنر کے لئے ریپازٹری کو بیان کریں","codex.legal.cloud.taskThree.meta":"openai/codex · اکتوبر 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"ڈارک موڈ تھیم بنائیں","codex.legal.cloud.taskTwo.meta":"openai/agi · اکتوبر 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"آن بورڈنگ بگ کو ٹھیک کریں","codex.legal.continue.apikey":"جاری رکھیں","codex.legal.continueButton":"اگلا","codex.legal.copilot.details":"یہ تمام ماڈل کالز، بلنگ، اور شرح کی حدوں کے لیے آپ کا Copilot پلان استعمال کرتا ہے۔ Codex ایکسٹینشن کا استعمال {oaiTos} اور {gitHubTos} کے ساتھ مشروط ہے۔","codex.legal.copilot.gitHubTosLink":"GitHub سروس کی شرائط","codex.legal.copilot.oaiTosLink":"OpenAI Codex سروس کی شرائط","codex.legal.copilot.title":"GitHub Copilot کے ذریعے تقویت یافتہ","codex.legal.mistakes.review":"اس کوڈ کا جائزہ لیں جو یہ لکھتا اور اسے چلانے کا حکم دیتا ہے","codex.legal.mistakes.title":"Codex غلطیاں کر سکتا ہے","codex.legal.powered.details":"آپ کے پلان کی شرح کی حدود اور {link} استعمال کرتا ہے","codex.legal.powered.details.link":"تربیتی ڈیٹا کی ترجیحات","codex.legal.powered.title":"آپ کے ChatGPT اکاوٴنٹ کے ذریعے تقویت یافتہ","codex.legal.step.cloud.subtitle":"Codex کو پس منظر میں چلانے کے لیے ٹاسکس بھیجیں تاکہ آپ توجہ مرکوز رکھ سکیں اور تیزی سے آگے بڑھ سکیں۔","codex.legal.step.cloud.title":"ٹاسکس کو کلاؤڈ میں Codex کو سونپ دیں","codex.legal.step.intro.subtitle":"Codex آپ کے ریپو میں براہ راست نیویگیٹ کرتا ہے، ترمیم کرتا ہے، کمانڈ چلاتا ہے اور ٹیسٹ کو انجام دیتا ہے۔ آپ کے ChatGPT اکاؤنٹ سے تقویت یافتہ ہے۔","codex.legal.step.intro.title":"آپکی IDE میں Codex","codex.legal.step.todo.subtitle":"ایک TODO تبصرہ لکھیں اور اسے ایک کلک کے ساتھ Codex ٹاسک میں تبدیل کریں۔","codex.legal.step.todo.title":"TODOs کو Codex ٹاسکس میں تبدیل کریں","codex.legal.todo.heading":"// TODO: خاکہ نافذ کریں","codex.localConversation.closeImagePreview":"تصویر کا پیش نظارہ بند کریں","codex.localConversation.userImageAttachment":"صارف کی اٹیچمنٹ","codex.localTaskRow.archiveTask":"تھریڈ کو آرکائیو کریں","codex.localTaskRow.awaitingApproval":"منظوری کا انتظار ہے","codex.localTaskRow.awaitingResponse":"جواب کا انتظار ہے","codex.localTaskRow.confirmArchiveTask":"تصدیق کریں","codex.loggedOut.apiKeyPrompt.cancel":"منسوخ کریں","codex.loggedOut.apiKeyPrompt.confirm":"ٹھیک ہے","codex.loggedOut.apiKeyPrompt.getKey":"API کلید حاصل کریں","codex.loggedOut.apiKeyPrompt.inputLabel":"اپنی OpenAI کی API کلید داخل کریں","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"کلاؤڈ ٹاسکس کو API کلید سے غیر فعال کردیا گیا ہے","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"کلاؤڈ ٹاسکس کو Copilot اور API کلید سے غیر فعال کردیا گیا ہے","codex.loggedOut.signIn":"ChatGPT کے ساتھ سائن ان کریں","codex.loggedOut.signIn.cancel":"سائن ان منسوخ کریں","codex.loggedOut.signInWithCopilot":"GitHub Copilot کے ساتھ سائن ان کریں","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API کلید استعمال کریں","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ٹول","codex.mcpTool.collapsedLabel.verb.called":"بلایا","codex.mcpTool.collapsedLabel.verb.calling":"بلایا جا رہا ہے","codex.mcpTool.embeddedResource.contentLabel":"مواد","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME کی قسم","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ٹول نے کوئی مواد واپس نہیں کیا","codex.mcpTool.rawPayloadHeading":"خام {server}.{tool} ٹول کال پے لوڈ","codex.menu.recent":"حالیہ","codex.menu.seeAllHistory":"تمام ہسٹری دیکھیں","codex.modelCapacityBanner.headline.noReset":"{modelName} اس وقت پُر صلاحیت ہے۔ بعد میں دوبارہ کوشش کریں، یا کسی اور ماڈل کے ساتھ نئی بات چیت شروع کریں۔","codex.modelCapacityBanner.headline.withReset":"{modelName} اس وقت پُر صلاحیت ہے۔ {resetDate} کے بعد دوبارہ کوشش کریں، یا کسی دوسرے ماڈل کے ساتھ نئی بات چیت شروع کریں۔","codex.modelCapacityBanner.title":"منتخب کردہ ماڈل پُر صلاحیت ہے","codex.patch.change.contentsDeleted":"مواد حذف کردیا گیا","codex.patch.change.created":"بن گیا ہے","codex.patch.change.created-file":"فائل بنائی","codex.patch.change.creating":"بنایا جا رہا ہے","codex.patch.change.deleted":"حذف کردیا گیا","codex.patch.change.deleted-file":"فائل حذف کر دی ہے","codex.patch.change.deleting":"حذف کیا جارہا ہے","codex.patch.change.edited":"ترمیم ہوگئی","codex.patch.change.edited-file":"ترمیم شدہ فائل","codex.patch.change.editing":"ترمیم کی جا رہی ہے","codex.patch.change.noChanges":"کوئی تبدیلی نہیں","codex.patch.change.rejected-add":"مسترد کردہ","codex.patch.change.rejected-delete":"مسترد کردہ","codex.patch.change.rejected-edit":"مسترد کردہ","codex.plan.stepIndexPrefix":"{index}۔","codex.plan.tasksCompletedSummary":"{total} میں سے {completed} ٹاسکس مکمل ہوگئے","codex.plan.todoListCreated":"{total} ٹاسکس کے ساتھ کرنے کے کام کی فہرست بنائی گئی","codex.profileDropdown.apiKeyAuth":"API کلید کے ساتھ لاگ ان کیا گیا","codex.profileDropdown.codexSettings":"Codex کی ترتیبات","codex.profileDropdown.copilotAuth":"Copilot کے ساتھ لاگ ان کیا گیا","codex.profileDropdown.defaultAccountTitle":"پہلے سے طے شدہ اکاوٴنٹ","codex.profileDropdown.enterBehavior":"لمبے پرومپٹس بھیجنے کے لیے {modifierSymbol} + انٹر دبائیں","codex.profileDropdown.enterBehaviorError":"سیٹنگ اپ ڈیٹ کرنے میں ناکامی","codex.profileDropdown.getPlus":"اعلیٰ حدود کے لیے اپ گریڈ کریں","codex.profileDropdown.keyboardShortcuts":"کی بورڈ شارٹ کٹس","codex.profileDropdown.language":"زبان","codex.profileDropdown.languageDefault":"خود کار طریقے سے پتہ لگائیں","codex.profileDropdown.languageSearchPlaceholder":"زبانیں تلاش کریں","codex.profileDropdown.languageUpdateError":"زبان اپ ڈیٹ نہیں کی جا سکی","codex.profileDropdown.logOut":"لاگ آوٴٹ کریں","codex.profileDropdown.mcp":"MCP ترتیبات","codex.profileDropdown.openConfigToml":"config.toml کھولیں","codex.profileDropdown.openConfigToml.wsl":"WSL ماحول میں config.toml کھولیں","codex.profileDropdown.openExtensionSettings":"ترتیبات کھولیں","codex.profileDropdown.openMcpSettings":"MCP ترتیبات کھولیں","codex.profileDropdown.openOnStartup":"اسٹارٹ اَپ پر کھولیں","codex.profileDropdown.openOnStartupError":"سیٹنگ اپ ڈیٹ کرنے میں ناکامی","codex.profileDropdown.openSkillsSettings":"اسکل کی ترتیبات کھولیں","codex.profileDropdown.personalAccountTitle":"ذاتی اکاوٴنٹ","codex.profileDropdown.queueFollowUps":"قطار فالو اپس","codex.profileDropdown.queueFollowUpsError":"سیٹنگ اپ ڈیٹ کرنے میں ناکامی","codex.profileDropdown.readDocs":"دستاویزات پڑھیں","codex.profileDropdown.readSkillsDocs":"دستاویزات پڑھیں","codex.profileDropdown.runInWsl":"WSL میں چلائیں","codex.profileDropdown.runInWslError":"سیٹنگ اپ ڈیٹ کرنے میں ناکامی","codex.profileDropdown.runInWslTooltip":"WSL کے اندر Codex چلاتا ہے۔ بہتر سینڈ باکس سیکیورٹی اور بہتر کارکردگی کے لیے تجویز کردہ ہے۔","codex.profileDropdown.settings":"IDE ترتیبات","codex.profileDropdown.settingsPage":"ترتیبات","codex.profileDropdown.signInWithOpenAI":"ChatGPT کے ساتھ سائن ان کریں","codex.profileDropdown.skills":"اسکل کی ترتیبات","codex.profileDropdown.switchToCopilotAccount":"Copilot اکاوٴنٹ استعمال کریں","codex.profileDropdown.switchToOpenAIAccount":"OpenAI اکاؤنٹ استعمال کریں","codex.profileDropdown.todoCodelens":"TODO تبصرے ٹھیک کریں","codex.profileDropdown.todoCodelensError":"سیٹنگ اپ ڈیٹ کرنے میں ناکامی","codex.profileDropdown.windowsDocumentation":"ونڈوز کی دستاویزات","codex.profileFooter.signedInFallback":"ترتیبات","codex.profileFooter.upgrade":"اپ گریڈ کریں","codex.recentTasksMenu.clearSearch":"تلاش صاف کریں","codex.recentTasksMenu.cloud":"کلاؤڈ ٹاسکس","codex.recentTasksMenu.count":"{count, plural, =0 {کوئی ٹاسک جاری نہیں} one {# ٹاسک جاری ہے} other {# ٹاسکس جاری ہیں}}","codex.recentTasksMenu.empty":"ابھی تک کوئی تھریڈ نہیں ہے","codex.recentTasksMenu.errorCloud":"ٹاسکس کو لوڈ نہیں کیا جاسکا۔","codex.recentTasksMenu.errorCloud.inline":"کلاؤڈ ٹاسکس کو لوڈ نہیں کیا جاسکا۔","codex.recentTasksMenu.filterAll":"تمام","codex.recentTasksMenu.filterCloudTasks":"کلاؤڈ ٹاسکس کو فلٹر کریں","codex.recentTasksMenu.filterTooltip":"ٹاسکس کو ماحول کے لحاظ سے فلٹر کریں","codex.recentTasksMenu.local":"لوکل ٹاسکس","codex.recentTasksMenu.recent":"تمام ٹاسکس","codex.recentTasksMenu.search":"حالیہ ٹاسکس تلاش کریں","codex.recentTasksMenu.searchEmpty":"کوئی نتیجہ نہیں","codex.recentTasksMenu.tooltip":"ٹاسک ہسٹری","codex.recentTasksMenu.trigger":"حالیہ ٹاسکس۔ {count, plural, one {# پر پیش رفت ہو رہی ہے} other {# پر پیش رفت ہو رہی ہے}}","codex.remoteConversation.applyDiff.applyCta":"تبدیلیاں لاگو کریں","codex.remoteConversation.applyDiff.dropdownTitle":"مقامی شاخ میں تبدیلیاں لاگو کریں","codex.remoteConversation.applyDiff.revertCta":"تبدیلیاں رد کریں","codex.remoteConversation.closeImagePreview":"تصویر کا پیش نظارہ بند کریں","codex.remoteConversation.codexCloudTask":"آپ <u>Codex کلاؤڈ</u> ٹاسک دیکھ رہے ہیں","codex.remoteConversation.errorWithMessage":"خرابی: {message}","codex.remoteConversation.loadingImage":"تصویر لوڈ ہو رہی ہے","codex.remoteConversation.openInWeb":"ویب میں کھولیں","codex.remoteConversation.streaming":"شروع کریں","codex.remoteConversation.turnFailed":"اس ٹاسک کے دوران ایک خرابی پیش آگئی","codex.remoteConversation.turnTab.loading":"{number} کوشش","codex.remoteConversation.turnTab.title":"{number} کوشش","codex.remoteConversation.userImageAttachment":"صارف کی اٹیچمنٹ","codex.remoteConversation.viewPreviousTurns":"ویب میں کھولیں","codex.remoteConversation.viewPreviousTurns.buttonText":"کھولیں","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ویب میں کھولیں","codex.review.copyGitApplyCommand":"git اپلائی کمانڈ کو کاپی کریں","codex.review.copyGitApplyCommand.toast":"کلپ بورڈ پر git کے اطلاق کی کمانڈ کاپی کی","codex.review.diffTooLarge.description":"یہ فرق جائزہ میں ظاہر کرنے کے لیے بہت بڑا ہے۔","codex.review.diffTooLarge.title":"فرق ڈسپلے کرنے کے لیے بہت بڑا ہے","codex.review.expandOrCollapseDiffButton.collapse":"تمام اختلافات کو سمیٹیں","codex.review.expandOrCollapseDiffButton.expand":"تمام اختلافات کو پھیلائیں","codex.review.expandOrCollapseDiffMenu.collapse":"تمام اختلافات کو سمیٹیں","codex.review.expandOrCollapseDiffMenu.expand":"تمام اختلافات کو پھیلائیں","codex.review.fileSearch.clear":"فائل فلٹر کو صاف کریں","codex.review.fileSearch.empty":"کوئی فائل موجودہ فلٹر سے مماثل نہیں ہے۔","codex.review.fileSearch.label":"فائلوں کو فلٹر کریں","codex.review.fileSearch.placeholder":"فولڈر کی فائلیں","codex.review.filesChanged":"{num, plural, =0 {کوئی فائلیں تبدیل نہیں ہوئیں} one {# فائل تبدیل ہوگئی} other {# فائلیں تبدیل ہوگئیں}}","codex.review.find.loadMore":"مزید میچز لوڈ کریں","codex.review.fullReview.hideFileTree":"فائل ٹری چھپائیں","codex.review.fullReview.showFileTree":"فائل ٹری دکھائیں","codex.review.header.moreOptions":"جائزہ کے اختیارات","codex.review.largeDiff.banner":"بڑا diff معلوم ہوا — ایک وقت میں صرف ایک فائل دکھائی جا رہی ہے۔","codex.review.loadFullFiles.disable":"مکمل فائلیں لوڈ نہ کریں","codex.review.loadFullFiles.enable":"مکمل فائلیں لوڈ کریں","codex.review.noDiff":"فائل کی تبدیلیاں یہاں ظاہر ہوں گی","codex.review.noDiff.gitInit.createRepository":"گٹ ریپوزٹری بنائیں","codex.review.noDiff.gitInit.creating":"بنایا جا رہا ہے…","codex.review.noDiff.gitInit.error":"Git init ناکامی ہوئی: {message}","codex.review.noDiff.gitInit.success":"git ریپازٹری بن گیا ہے","codex.review.noDiff.gitRepoRequired.description":"اس پروجیکٹ میں ہونے والی تبدیلیوں کو ٹریک اور انڈو کریں","codex.review.noDiff.gitRepoRequired.title":"git ریپازٹری بنائیں","codex.review.noDiff.orNoLongerAvailable":"یا تازہ ترین diffs اب دستیاب نہیں ہیں","codex.review.noDiff.reverted":"آخری مرحلہ واپس کر دیا گیا ہے","codex.review.noDiff.revertedOrCommitted":"آخری مرحلہ یا تو واپس کر دیا گیا ہے یا مکمل کر دیا گیا ہے","codex.review.refreshGitQueries":"ریفریش کریں","codex.review.revert.file.error":"{path} کو واپس لانے میں ناکام","codex.review.revert.file.partialSuccess":"{path} کو جزوی طور پر واپس لایا گیا","codex.review.revert.file.success":"{path} کو واپس لایا گیا","codex.review.revert.hunk.error":"ہنک {hunkNumber} کو {path} میں واپس نہیں لایا جا سکا","codex.review.revert.hunk.partialSuccess":"ہنک {hunkNumber} کو {path} میں جزوی طور پر واپس نہیں لایا جا سکا","codex.review.revert.hunk.success":"ہنک {hunkNumber} کو {path} میں واپس لایا گیا","codex.review.revert.section.error":"سیکشن کو واپس نہیں لایا جا سکا","codex.review.revert.section.partialSuccess":"سیکشن جزوی طور پر واپس لایا گیا","codex.review.revert.section.success":"سیکشن واپس لایا گیا","codex.review.revertDialog.cancel":"منسوخ کریں","codex.review.revertDialog.confirm":"تصدیق کریں","codex.review.revertDialog.message":"یہ کارروائی ان تمام تبدیلیوں کو مٹا دیتی ہے۔","codex.review.revertDialog.skip":"دوبارہ نہ پوچھیں","codex.review.revertDialog.title":"تبدیلیاں رد کریں؟","codex.review.richPreview.disable":"رچ پیش نظارہ غیر فعال کریں","codex.review.richPreview.enable":"رچ پیش نظارہ فعال کریں","codex.review.source.cloud":"Cloud میں تبدیلیاں","codex.review.source.local.all":"تمام شاخوں میں تبدیلی","codex.review.source.local.lastTurn":"آخری بار تبدیلیاں","codex.review.source.local.uncommitted":"غیر منظم تبدیلیاں","codex.review.source.worktree":"ورک ٹری کی غیر ارتکاب تبدیلیاں","codex.review.stageFilter.empty.staged.description":"ان کو اسٹیج کرنے کے لیے ترامیم قبول کریں","codex.review.stageFilter.empty.staged.title":"کوئی مرحلہ وار تبدیلیاں نہیں ہیں","codex.review.stageFilter.empty.unstaged.description":"کوڈ کی تبدیلیاں یہاں ظاہر ہوں گی","codex.review.stageFilter.empty.unstaged.title":"غیر مرحلہ کردہ تبدیلیاں نہیں","codex.review.stageFilter.staged":"اسٹیج کردہ","codex.review.stageFilter.staged.count":"اسٹیج کردہ · {count}","codex.review.stageFilter.unstaged":"ان اسٹیج کردہ","codex.review.stageFilter.unstaged.count":"ان اسٹیج کردہ · {count}","codex.review.switchToSplit":"اسپلٹ diff پر سوئچ کریں","codex.review.switchToUnified":"یکجا فرق پر سوئچ کریں","codex.review.toggleDiffView":"diff نظارے کو ٹوگل کریں","codex.review.wordDiffs.disable":"لفظ کے فرق کو غیر فعال کریں","codex.review.wordDiffs.enable":"لفظ کے فرق کو فعال کریں","codex.review.wrap.disable":"لفظی ریپ غیر فعال کریں","codex.review.wrap.enable":"لفظی ریپ فعال کریں","codex.section.patch.missing":"اس سیکشن کے لیے پیچ بنایا نہیں جا سکتا۔","codex.shell.collapse":"شیل منہدم کریں","codex.shell.commandLine":"{command}$","codex.shell.copy.copiedTooltip":"شیل کا مواد کاپی ہوگیا","codex.shell.copy.copyTooltip":"شیل کا مواد کاپی کریں","codex.shell.copyCommand":"کمانڈ کاپی کریں","codex.shell.copyOutput":"آؤٹ پٹ کاپی کریں","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"بیش","codex.shell.expand":"شیل کو توسیع دیں","codex.shell.name":"شیل","codex.shell.noOutput":"کوئی آؤٹ پٹ نہیں","codex.signInFailed.message":"سائن ان ناکام ہوا: {rawMessage}","codex.stories.toast.show":"ٹوسٹ دکھائیں","codex.stories.tooltip.basic":"یہ ٹول ٹپ ہے","codex.stories.tooltip.hoverMe":"مجھے منڈلانے /گرد گھومنے دیں","codex.stories.tooltip.largerOffset":"اس ٹول ٹپ میں ایک بڑا آف سیٹ ہے","codex.stories.tooltip.offsetButton":"بڑا آف سیٹ","codex.stories.tooltip.shortcutButton":"شارٹ کٹ کے ساتھ","codex.stories.tooltip.withShortcut":"ٹرمنل کو ٹوگل کریں","codex.taskRow.title":"نئی سیریز","codex.taskRowLayout.confirm":"تصدیق کریں","codex.threadFindBar.chatFilter":"چیٹس تلاش کریں","codex.threadFindBar.close":"تلاش بند کریں","codex.threadFindBar.diffFilter":"تلاش میں فرق ہے","codex.threadFindBar.label":"تھریڈ میں ڈھونڈیں","codex.threadFindBar.nextResult":"اگلا نتیجہ","codex.threadFindBar.noResults":"0 نتائج","codex.threadFindBar.placeholder":"تھریڈ تلاش کریں…","codex.threadFindBar.placeholder.extension":"تھریڈ تلاش کریں…","codex.threadFindBar.placeholder.review":"diff تلاش کریں…","codex.threadFindBar.placeholder.review.extension":"diff تلاش کریں…","codex.threadFindBar.previousResult":"پچھلا نتیجہ","codex.todoPlan.stepIndexPrefix":"{index}۔","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# فائل تبدیل ہوگئی} other {# فائلیں تبدیل ہوگئیں}}","codex.unifiedDiff.inlineLargeFile":"ان لائن رینڈر کرنے کے لیے بہت بڑا ہے","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"کالعدم کریں","codex.unifiedDiff.revertPatchError":"تبدیلیاں واپس نہیں کی جاسکیں","codex.unifiedDiff.revertPatchSuccess":"تبدیلیاں واپس ہوگئیں","codex.unifiedDiff.reviewChangesSuffix":"تبدیلیاں","codex.unifiedDiff.reviewShort":"جائزہ لیں","codex.unifiedDiff.viewDiffTooltip":"جائزہ لیں","codex.upsellBanner.business.headline":"ابھی مزید رسائی حاصل کرنے کے لیے، اپنے منتظم کو ایک درخواست بھیجیں، یا{resetDate} تک انتظار کریں۔","codex.upsellBanner.cbp.headline":"ابھی مزید رسائی حاصل کرنے کے لیے، اپنے منتظم کو ایک درخواست بھیجیں۔","codex.upsellBanner.cta.addCredits":"کریڈٹس شامل کریں","codex.upsellBanner.cta.upgradeAccount":"اپ گریڈ کریں","codex.upsellBanner.cta.viewUsage":"استعمال دیکھیں","codex.upsellBanner.freeOrGo.headline":"آپ کی شرح کی حد {resetDate} کو ری سیٹ ہوتی ہے۔ Codex کا استعمال جاری رکھنے کے لیے، آج ہی پلس میں اپ گریڈ کریں۔","codex.upsellBanner.general.headline":"آپ کی شرح کی حد {resetDate} کو ری سیٹ ہو جاتی ہے۔","codex.upsellBanner.general.title":"آپ کے Codex پیغامات ختم ہو گئے ہیں","codex.upsellBanner.plus.headline":"آپ کی شرح کی حد {resetDate} کو ری سیٹ ہو جاتی ہے۔ Codex کا استعمال جاری رکھنے کے لیے، کریڈٹس شامل کریں یا آج ہی پرو میں اپ گریڈ کریں۔","codex.upsellBanner.pro.headline":"آپ کی شرح کی حد {resetDate} کو ری سیٹ ہو جاتی ہے۔ ابھی Codex کا استعمال جاری رکھنے کے لیے کریڈٹس شامل کریں۔","codex.userMessage.autoResolveSync":"تنازعات کو خود بخود حل کریں","codex.userMessage.commentCount":"{count, plural, one {# تبصرہ} other {# تبصرے}}","codex.userMessage.copiedAriaLabel":"کاپی ہو گیا","codex.userMessage.copiedTooltip":"کاپی ہو گیا","codex.userMessage.copyAriaLabel":"پیغام کاپی کریں","codex.userMessage.copyTooltip":"کاپی کریں","codex.userMessage.implementPlan":"پلان پر عمل کریں","codex.userMessage.noContent":"(کوئی مواد نہیں)","codex.userMessage.priorConversation":"پیشگی گفتگو کے حوالے","codex.userMessage.reviewMode":"جائزہ موڈ","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} کے لیے","codex.webSearch.summary.verb.completed":"ویب پر تلاش کیا گیا","codex.webSearch.summary.verb.inProgress":"ویب پر تلاش کیا جا رہا ہے","codex.windowsInstallWslBanner.dismiss":"چھوڑ دیں","codex.windowsInstallWslBanner.installWslCta":"سینڈ باکس کو فعال کریں","codex.windowsInstallWslBanner.learnMore":"مزید جانیں","codex.windowsSandboxBanner.content":"ایجنٹ موڈ ونڈوز پر ایک تجرباتی سینڈ باکس استعمال کرتا ہے تاکہ فائل سسٹم اور نیٹ ورک تک رسائی محدود کی جا سکے۔{sandboxLink}","codex.windowsSandboxBanner.title":"ایجنٹ موڈ کے لیے سینڈ باکس کو فعال کریں","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"ونڈوز کی ترتیبات","codexUpgradeModal.body":"اب GPT-5.2-Codex کے ذریعے تقویت یافتہ ہے، جو ہمارا تازہ ترین فرنٹیئر ایجنٹ کوڈنگ ماڈل ہے۔ کوڈنگ پر یہ {link} ہے؛ GPT-5.2 پر مزید بہتری۔","codexUpgradeModal.close":"بند کریں","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"زیادہ اسمارٹ اور تیز","codexUpgradeModal.title":"Codex ابھی ابھی اپ گریڈ ہوا ہے","codexUpgradeModal.tryNewModel":"GPT-5.2-Codex-Max آزمائیں","codexUpgradeModal.useExistingModel":"موجودہ ماڈل کے ساتھ جاری رکھیں","commentAttachments.numComments":"{count, plural, one {# تبصرہ} other {# تبصرے}}","commentAttachments.removeAriaLabel":"تبصروں کی اٹیچمنٹ ہٹائیں","common.close":"بند کریں","composer.addContext.openFilePickerError":"فائل پکر کھولنے سے قاصر","composer.addContextDropdown.ariaLabel":"فائلیں وغیرہ اپ لوڈ کریں","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"فائلیں وغیرہ اپ لوڈ کریں","composer.addPhotosAndFiles":"تصاویر اور فائلیں شامل کریں","composer.atMentionList.emptyQuery":"فائلیں تلاش کرنے کے لیے ٹائپ کریں","composer.atMentionList.loading":"تلاش جاری ہے...","composer.atMentionList.noResults":"بلا نتیجہ","composer.attemptsSelector.option":"{count, plural, one {# ورژن} other {# ورژنز}}","composer.attemptsSelector.tooltip":"Codex کے لیے متوازی کوششوں کی تعداد","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"رکیں","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"لوکل","composer.cloudFollowUp.whereRun":"یہ فالو-اپ کہاں چلایا جانا چاہیے؟","composer.cloudTaskCreationError":"کلاؤڈ ٹاسک بنانے میں خرابی","composer.cloudTaskError":"ٹاسک بنانے میں خرابی","composer.contextWindow.autoCompactionTooltipLine1":"Codex خود بخود اپنا سیاق و سباق مختصر کر دیتا ہے","composer.contextWindow.usagePercent":"%{usage}","composer.contextWindowUsageLabel":"سیاق و سباق کی ونڈو:","composer.contextWindowUsageStatusFull":"{usage}% بھری ہے","composer.contextWindowUsageStatusLeft":"{usage}% استعمال شدہ ({remaining}% باقی)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k ٹوکنز استعمال ہوئے","composer.customCliTooltip":"ایک حسب ضرورت CLI قابل عمل استعمال کرنا","composer.dictation.aria":"ڈکٹیٹ کریں","composer.dictation.cancel.aria":"ڈکٹیشن روکیں","composer.dictation.cancel.tooltip":"ڈکٹیشن روکیں","composer.dictation.startError":"ڈکٹیشن شروع کرنے سے قاصر","composer.dictation.submit.aria":"نقل کر کے بھیجیں","composer.dictation.submit.tooltip":"نقل کر کے بھیجیں","composer.dictation.tooltip":"بولنے کے لیے دبائے رکھیں","composer.dictation.transcribeError":"آڈیو کو نقل کرنے سے قاصر","composer.dictation.unsupported":"اس ڈیوائس پر ڈکٹیشن دستیاب نہیں ہے","composer.dropOverlay.holdShift":"ڈراپ کرنے کے لیے {key} کو پکڑیں","composer.dropOverlay.shiftKey":"شفٹ","composer.environmentSelector.createNew":"نیا بنائیں","composer.environmentSelector.error":"ماحول لوڈ کرنے میں خرابی آگئی","composer.environmentSelector.goBack":"کمپوزر پر واپس","composer.environmentSelector.title":"ماحول منتخب کریں","composer.environmentSelector.tooltip":"کلاؤڈ ماحول منتخب کریں","composer.feedbackSlashCommand.title":"رائے","composer.filePicker.selectFile":"ایک فائل منتخب کریں","composer.filePicker.selectFiles":"فائلیں منتخب کریں","composer.followerTooltip":"جاری رکھنے کے لیے، اس ونڈو پر واپس جائیں جہاں سے یہ گفتگو شروع ہوئی تھی۔","composer.footer.branchSwitch.checkoutError":"برانچ کو تبدیل کرنے میں ناکام:{message}","composer.footer.branchSwitch.createAndCheckout":"نئی برانچ بنائیں اور چیک آؤٹ کریں…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"نئی برانچ بنانے اور چیک آؤٹ کرنے کے لیے تبدیلیوں کا ارتکاب کریں","composer.footer.branchSwitch.createBranchError":"برانچ بنائی نہیں جاسکی: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"برانڈ کا نام","composer.footer.branchSwitch.createDialog.branchExistsError":"برانچ پہلے سے موجود ہے۔","composer.footer.branchSwitch.createDialog.close":"بند کریں","composer.footer.branchSwitch.createDialog.createAndCheckout":"بنائیں اور چیک آؤٹ کریں","composer.footer.branchSwitch.createDialog.placeholder":"نئی برانچ","composer.footer.branchSwitch.createDialog.title":"نئی برانچ بنائیں اور چیک آؤٹ کریں","composer.footer.branchSwitch.createDialog.trailingSlashError":"برانچ کا نام ’’/‘‘ کے ساتھ ختم نہیں ہوسکتا","composer.footer.branchSwitch.tooltip":"برانچ سوئچ کریں","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName}کو چیک کرنے کے لیے {fileCount, plural, one {# فائل} other {# فائلیں}} میں تبدیلیاں کریں۔","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"کمِٹ","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} کو چیک کرنے کے لیے {fileCount, plural, one {# فائل} other {# فائلیں}} میں تبدیلیاں کریں۔","composer.footer.branchSwitch.uncommittedDialog.cancel":"منسوخ کریں","composer.footer.branchSwitch.uncommittedDialog.commit":"کمِٹ کریں اور برانچ تبدیل کریں…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"درج ذیل فائلوں میں آپ کی تبدیلیاں چیک آؤٹ کے ذریعے اوور رائٹ ہو جائیں گی۔","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"براہ کرم جاری رکھنے کے لیے اپنی تبدیلیوں کا عہد کریں","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"منتخب برانچ","composer.footer.branchSwitch.uncommittedDialog.title":"برانچ سوئچ کرنے کے لیے تبدیلیاں کریں","composer.footer.branchSwitch.uncommittedSummaryPrefix":"غیر متزلزل:{fileCount, plural, one {# فائل} other {# فائلیں}}","composer.forkSlashCommand.description":"اس تھریڈ کی علیحدہ کاپی بنا کر اسے لوکل برانچ یا نئے ورک ٹری میں منتقل کریں","composer.forkSlashCommand.option.local.description":"ایک نئے لوکل تھریڈ میں جاری رکھیں","composer.forkSlashCommand.option.local.title":"اسے لوکل میں فورک کریں","composer.forkSlashCommand.option.worktree.description":"ایک نئے ورک ٹری میں جاری رکھیں","composer.forkSlashCommand.option.worktree.title":"نئے ورک ٹری میں فورک کریں","composer.forkSlashCommand.title":"فورک کریں","composer.imageInputsUnsupported":"یہ ماڈل امیج ان پٹ کو سپورٹ نہیں کرتا ہے۔ ایک مختلف ماڈل آزمائیں۔","composer.imageUploadFailed":"تصویر اپ لوڈ نہیں کی جاسکی","composer.includeIdeContextDropdown":"IDE سیاق و سباق شامل کریں","composer.includeIdeContextDropdown.ariaLabel":"IDE سیاق و سباق شامل کریں","composer.localCwdDropdown.addWorkspaceRoot":"نیا پروجیکٹ شامل کریں","composer.localCwdDropdown.noActiveRoot":"اپنا پروجیکٹ منتخب کریں","composer.localCwdDropdown.noResults":"کوئی فولڈرز نہیں ملے","composer.localCwdDropdown.title":"اپنا پروجیکٹ منتخب کریں","composer.localTaskError":"گفتگو شروع کرنے میں خرابی پیش آگئی","composer.mcpSlashCommand.description":"MCP سرور کی صورت حال دکھائیں","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"تصدیق شدہ نہیں","composer.mcpStatus.authOauth":"تصدیق شدہ (OAuth)","composer.mcpStatus.authToken":"تصدیق شدہ (API کلید)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"بند کریں","composer.mcpStatus.disabled":"غیر فعال کردیا گیا","composer.mcpStatus.emptyLabel":"سرورز:","composer.mcpStatus.emptyValue":"کوئی MCP سرور کنفیگر نہیں ہے","composer.mcpStatus.enabled":"فعال ہوا","composer.mcpStatus.errorLabel":"اسٹیٹس:","composer.mcpStatus.errorValue":"MCP اسٹیٹس لوڈ کرنے سے قاصر","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ایجنٹ","composer.mode.agentMode.auto.dropdownLabel":"ایجنٹ","composer.mode.agentMode.auto.optionLabel":"ایجنٹ","composer.mode.agentMode.changePermission":"موڈ سوئچ کریں","composer.mode.agentMode.custom":"کسٹم","composer.mode.agentMode.custom.dropdownLabel":"کسٹم","composer.mode.agentMode.custom.option":"کسٹم (config.toml)","composer.mode.agentMode.custom.optionLabel":"کسٹم (config.toml)","composer.mode.agentMode.customInfo.cancel":"منسوخ کریں","composer.mode.agentMode.customInfo.cli":"آپ ان ترتیبات کو CLI سے یا براہ راست فائل میں ترمیم کرکے ایڈجسٹ کر سکتے ہیں۔","composer.mode.agentMode.customInfo.confirm":"کسٹم موڈ استعمال کریں","composer.mode.agentMode.customInfo.description":"یہ موڈ آپ کی<link> config.toml</link> فائل میں طے کیے گئے approval اور sandbox پالیسیوں کو نافذ کرتا ہے۔","composer.mode.agentMode.customInfo.docs":"approval اور sandbox پالیسیوں کی کنفیگریشن کے بارے میں مزید جاننے کے لیے، <link>ایگزیکیوشن انوائرمنٹ ڈاکیومنٹس </link>سے رجوع کریں۔","composer.mode.agentMode.customInfo.refresh":"اگلی بار ایجنٹ کے کام کرنے پر کوئی بھی تبدیلیاں لاگو ہوتی ہیں۔","composer.mode.agentMode.customInfo.title":"کسٹم موڈ کیسے کام کرتا ہے","composer.mode.agentMode.fullAccess":"ایجنٹ (مکمل رسائی)","composer.mode.agentMode.fullAccess.dropdownLabel":"ایجنٹ (مکمل رسائی)","composer.mode.agentMode.fullAccess.optionLabel":"ایجنٹ (مکمل رسائی)","composer.mode.agentMode.fullAccessConfirm.caution":"مکمل رسائی کو فعال کرتے وقت احتیاط برتیں۔ یہ ڈیٹا کے ضائع ہونے، لیک ہونے یا غیر متوقع رویے کے خطرے کو نمایاں طور پر بڑھاتا ہے۔","composer.mode.agentMode.fullAccessConfirm.confirm":"ہاں، پھر بھی جاری رکھیں","composer.mode.agentMode.fullAccessConfirm.description":"جب Codex مکمل رسائی کے ساتھ چلتا ہے، تو یہ آپ کے کمپیوٹر پر کسی بھی فائل میں ترمیم کر سکتا ہے اور آپ کی منظوری کے بغیر نیٹ ورک کے ساتھ کمانڈ چلا سکتا ہے۔","composer.mode.agentMode.fullAccessConfirm.goBack":"منسوخ کریں","composer.mode.agentMode.fullAccessConfirm.title":"مکمل رسائی فعال کریں؟","composer.mode.agentMode.readOnly":"چیٹ","composer.mode.agentMode.readOnly.dropdownLabel":"چیٹ","composer.mode.agentMode.readOnly.optionLabel":"چیٹ","composer.mode.agentMode.tooltip":"موڈ سوئچ کریں","composer.mode.agentMode.tooltip.auto":"فائلوں کو پڑھیں اور ان میں ترمیم کریں، اور کمانڈز چلائیں۔","composer.mode.agentMode.tooltip.custom":"config.toml میں بیان کردہ تازہ ترین منظوری اور سینڈ باکس پالیسیوں کا استعمال کریں۔","composer.mode.agentMode.tooltip.fullAccess":"Codex پروجیکٹ سے باہر فائلوں میں ترمیم کر سکتا ہے اور نیٹ ورک تک رسائی کے ساتھ کمانڈ چلا سکتا ہے۔ استعمال کرتے وقت احتیاط برتیں۔","composer.mode.agentMode.tooltip.readOnly":"فائلوں میں ترمیم کرنے اور کمانڈز چلانے کے لیے منظوری درکار ہے۔","composer.mode.cloud.tooltip":"کلاؤڈ ماحول میں کام کریں","composer.mode.contactAdmin":"مزید رسائی حاصل کرنے کے لیے، اپنے ایڈمن سے رابطہ کریں","composer.mode.local":"لوکل","composer.mode.local.learnMore":"مزید جانیں","composer.mode.local.model.custom":"کسٹم","composer.mode.local.model.loadingModel":"ماڈل لوڈ ہو رہا ہے","composer.mode.local.model.selecrReasoningEffort":"استدلال منتخب کریں","composer.mode.local.model.selectModel":"ماڈل منتخب کریں","composer.mode.local.model.tooltip":"ماڈل منتخب کریں","composer.mode.local.ratePercent":"%{usage}","composer.mode.local.reasoning.high.label":"زیادہ","composer.mode.local.reasoning.low.label":"کم","composer.mode.local.reasoning.medium.label":"درمیانہ","composer.mode.local.reasoning.minimal.label":"کم سے کم","composer.mode.local.reasoning.none.label":"کوئی نہیں","composer.mode.local.reasoning.xhigh.label":"ذیادہ اونچا","composer.mode.localRemoteWhereRun":"منتخب کریں کہ ٹاسک کو کہاں چلانا ہے","composer.mode.newTask.header":"میں جاری رکھیں","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"باقی ماندہ ریٹ لمٹس","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} حد:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ہفتہ وار حد} other {{weeks} ہفتے کی حد}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ہفتہ وار} other {{weeks} ہفتہ}}","composer.mode.remote.connectToCloud":"Codex ویب سے جڑیں","composer.mode.remote.connectToCloudDisabledTooltip":"Codex ویب کے ذریعے کلاؤڈ کو ٹاسکس بھیجنے کے قابل بنانے کے لیے ماحول ترتیب دیں","composer.mode.remote.selectEnvironment":"ماحول منتخب کریں","composer.mode.remote.sendToCloud":"کلاؤڈ کو بھیجیں","composer.mode.remote.setupViaWeb":"Codex ویب کے ذریعے ماحول ترتیب دیں","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"کلاؤڈ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"کلاؤڈ ماحول میں کام کریں","composer.mode.segmentedToggle.local.tooltip":"اپنے مقامی پروجیکٹ میں کام کریں","composer.mode.segmentedToggle.worktree.tooltip":"متوازی ورک ٹری میں کام کریں","composer.mode.upgradeToPlus":"Plus میں اپ گریڈ کریں","composer.mode.upgradeToPro":"Pro میں اپ گریڈ کریں","composer.mode.workLocally":"مقامی پروجیکٹ","composer.mode.workLocally.currentBranchFallback":"آپ کی شاخ","composer.mode.workLocally.tooltip":"{branchName} میں کام کریں","composer.mode.worktree":"نیا ورک ٹری","composer.mode.worktree.submoduleWarning":"اس ریپو میں گٹ سب موڈیولز ہیں۔ ورک ٹری تخلیق ناکام ہو سکتی ہے","composer.mode.worktree.tooltip":"متوازی طور پر کام کرنے کے لیے اپنے مقامی پروجیکٹ کی ایک کاپی بنائیں","composer.mode.worktreeSegment":"ورک ٹری","composer.modelChangeDuringConversationWarning.toast":"گفتگو کے دوران ماڈل تبدیل کرنے سے کارکردگی متاثر ہوگی۔","composer.newChat.heading.browser":"ہمیں اگلا کیا کوڈ کرنا چاہیے؟","composer.permissionsDropdown.custom.label":"کسٹم (config.toml)","composer.permissionsDropdown.custom.optionLabel":"کسٹم (config.toml)","composer.permissionsDropdown.default.label":"پہلے سے طے شدہ اجازتیں","composer.permissionsDropdown.default.optionLabel":"پہلے سے طے شدہ اجازتیں","composer.permissionsDropdown.fullAccess.disabled":"مکمل رسائی requirements.toml کی وجہ سے غیر فعال ہے","composer.permissionsDropdown.trigger.tooltip":"اجازتیں تبدیل کریں","composer.personalitySlashCommand.description.friendly":"گرمجوشی، باہمی تعاون پر مبنی اور مددگار","composer.personalitySlashCommand.description.pragmatic":"جامع، کام پر مرکوز، اور براہ راست","composer.personalitySlashCommand.label.friendly":"دوستانہ","composer.personalitySlashCommand.label.pragmatic":"عملی","composer.personalitySlashCommand.notApplicableSuffix":"(موجودہ ماڈل پر لاگو نہیں ہوتا)","composer.personalitySlashCommand.title":"شخصیت","composer.placeholder.cloudFollowUp.directFollowUp":"اس کلاؤڈ ٹاسک کا فالو اپ","composer.placeholder.cloudFollowUp.local":"ایک نیا مقامی ٹاسک بنائیں جو اس کلاؤڈ ٹاسک کا حوالہ دیتا ہو","composer.placeholder.cloudFollowUp.workingTree":"ایک نیا کلاؤڈ ٹاسک بنائیں جس میں آپ کا موجودہ کوڈ شامل ہو اور جو اس ٹاسک کا حوالہ دے گا","composer.placeholder.localFollowUp.cloud":"نئے کلاؤڈ ٹاسک میں فالو اپ","composer.placeholder.localFollowUp.locally":"فالو اپ تبدیلیوں کے بارے میں پوچھیں","composer.placeholder.newTask.cloud":"Codex سے کلاؤڈ میں کچھ بھی کرنے کو کہیں","composer.placeholder.newTask.doAnything":"Codex سے کچھ بھی کرنے کو کہیں","composer.placeholder.newTask.locally":"Codex سے کچھ بھی پوچھیں، @ فائلیں شامل کرنے کے لیے، / کمانڈز کے لیے","composer.planModeDropdown":"پلان موڈ","composer.planModeDropdown.ariaLabel":"پلان موڈ","composer.planModeIndicator":"منصوبہ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"پلان موڈ کو آف کریں","composer.planSlashCommand.enableDescription":"پلان موڈ کو آن کریں","composer.planSlashCommand.title":"پلان موڈ","composer.priorContext.label":"سابقہ سیاق و سباق","composer.priorContext.removeAriaLabel":"سابقہ سیاق و سباق کو ہٹائیں","composer.queuedMessage.delete":"قطار میں لگے پیغام کو حذف کریں","composer.queuedMessage.edit":"پیغام میں ترمیم کریں","composer.queuedMessage.more":"قطار میں لگے پیغام کی کارروائیاں","composer.queuedMessage.sendNow":"ابھی بھیجیں","composer.queuedMessage.turnOff":"قطار بند کر دیں","composer.reasoningEffort.local.reasoning.tooltip":"استدلال کی کوشش منتخب کریں","composer.remote.branchStartingPoint":"یہ کام کس برانچ سے شروع ہونا چاہیے؟","composer.remote.branchesSectionHeading":"برانچز","composer.remote.currentEditsSuffix.followUp":"ایک نیا ٹاسک بنائیں جو اس کلاؤڈ ٹاسک کا حوالہ دیتا ہو۔","composer.remote.currentEditsSuffix.useLocal":"مقامی کوڈ کی تبدیلیوں کے ساتھ","composer.remote.directFollowUp":"مقامی تبدیلیاں استعمال نہ کریں","composer.remote.errorLoadingBranches":"برانچز کو لوڈ کرنے میں خرابی","composer.remote.fromBranch":"{branch} سے","composer.remote.fromCurrentBranch":"{branch} سے (موجودہ)","composer.remote.loadingMoreBranches":"لوڈ ہو رہی ہے…","composer.remote.localFileStateHeading":"مقامی فائل کی حالت","composer.remote.localWorkingTree":"مقامی تبدیلیاں استعمال کریں","composer.remote.startingPoint":"یہ کام کس کوڈ سے شروع ہونا چاہیے؟","composer.reviewMode.branches.error":"برانچز لوڈ کرنے سے قاصر","composer.reviewMode.branches.retry":"دوبارہ کوشش کریں","composer.reviewMode.gitRoot.error":"Git روٹ نہیں ملا","composer.reviewMode.option.baseBranch.simple":"بیس برانچ کے خلاف جائزہ لیں","composer.reviewMode.option.unstaged.simple":"غیر محفوظ شدہ تبدیلیوں کا جائزہ لیں","composer.reviewMode.quickReviewError":"کوڈ کا جائزہ نہیں لیا جاسکا۔","composer.reviewMode.title":"کوڈ کا جائزہ","composer.sandboxButton.unlock.disabled.tooltip":"مکمل رسائی requirements.toml کی وجہ سے غیر فعال ہے","composer.sandboxButton.windowsSandboxDialog.content":"Codex فائل سسٹم اور نیٹ ورک تک رسائی کو محدود کرنے کے لیے ونڈوز پر تجرباتی سینڈ باکس استعمال کر سکتا ہے۔{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows Sandbox فعال کریں؟","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"صرف پڑھنے کے لیے","composer.searchEnvironments":"ماحول تلاش کریں","composer.skillMentionList.app":"ایپ","composer.skillMentionList.loading":"مہارتیں لوڈ ہو رہی ہیں...","composer.skillMentionList.noResults":"کوئی مہارت نہیں ملی","composer.slashCommands.cloudEnvironment.title":"کلاؤڈ ماحول","composer.slashCommands.dialogLabel":"سلیش کمانڈ مینو","composer.slashCommands.dialogTitle":"سلیش کمانڈز","composer.slashCommands.disabledTooltip":"سلیش کمانڈز استعمال کرنے کے لیے نئی گفتگو شروع کریں","composer.slashCommands.inputPlaceholder":"تلاش کریں","composer.slashCommands.noResults":"کوئی کمانڈز نہیں","composer.slashCommands.skillsGroup":"مہارتیں","composer.slashCommands.tooltip":"سلیش کمانڈز براؤز کریں","composer.status.close":"بند کریں","composer.statusPlain.alertLabel":"الرٹ:","composer.statusPlain.alertValue":"{window} پر {remaining} % باقی ہے","composer.statusPlain.contextLabel":"سیاق و سباق:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} استعمال کیا / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % باقی ہے","composer.statusPlain.heading":"اسٹیٹس","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} حد:","composer.statusPlain.rateLimitDays":"{count}d کی حد","composer.statusPlain.rateLimitFallbackLabel":"ریٹ کی حد:","composer.statusPlain.rateLimitHours":"{count}h کی حد","composer.statusPlain.rateLimitLabelBase":"ریٹ کی حد","composer.statusPlain.rateLimitMinutes":"{count}m کی حد","composer.statusPlain.rateLimitPercent":"{remaining} % باقی ہے","composer.statusPlain.rateLimitReset":"{time} دوبارہ ترتیب پائے گا","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"دوبارہ ترتیب پانے کا وقت عدم دستیاب ہے","composer.statusPlain.rateLimitUnavailable":"دستیاب نہیں ہے","composer.statusPlain.sessionCopiedAriaLabel":"سیشن کی آئی ڈی کاپی کر لی گئیں","composer.statusPlain.sessionCopiedTooltip":"کاپی کردہ آئی ڈی","composer.statusPlain.sessionCopyAriaLabel":"سیشن کی آئی ڈی کاپی کریں","composer.statusPlain.sessionCopyTooltip":"آئی ڈی کاپی کریں","composer.statusPlain.sessionLabel":"سیشن:","composer.statusSlashCommand.description":"تھریڈ آئی ڈی، سیاق و سباق کا استعمال اور ریٹ کی حدیں دکھائیں","composer.statusSlashCommand.title":"اسٹیٹس","composer.submit.blockedDialogOk":"ٹھیک ہے","composer.submit.blockedDialogTitle":"پیغام بھیجنے سے قاصر","composer.submit.emptyMessage":"شروع کرنے کے لیے پیغام درج کریں","composer.submit.imageInputsUnsupported":"یہ پیغام بھیجنے کے لیے تصاویر ہٹائیں یا ماڈلز کو تبدیل کریں۔","composer.submit.loadingLocalConfig":"لوڈ ہو رہی ہے…","composer.submit.missingCloudConfig":"آپ کو کلاؤڈ ماحول کا انتخاب کرنا ہوگا","composer.submit.missingCloudTurn":"اس ٹاسک پر فالو اپ نہیں کیا جاسکتا","composer.submit.noWorkspace":"Codex استعمال کرنے کے لیے ایک پروجیکٹ شامل کریں۔","composer.submit.waitForImageUploads":"تصاویر اپ لوڈ ہو رہی ہیں…","composer.submitButtonTooltip.send":"بھیجیں","composer.submitButtonTooltip.stop":"رکیں","composer.worktreeEnvironment.create":"مقامی ماحول بنائیں","composer.worktreeEnvironment.default":"پہلے سے طے شدہ ماحول","composer.worktreeEnvironment.error":"ماحول لوڈ کرنے میں خرابی آگئی","composer.worktreeEnvironment.loading":"ماحول لوڈ ہو رہے ہیں…","composer.worktreeEnvironment.title":"مقامی ماحول","composer.worktreeEnvironment.tooltip":"مقامی ماحول کا انتخاب کریں","composer.worktreeSetupFailed":"ورک ٹری سیٹ اپ ناکام ہو گیا۔ سیٹ اپ اسکرپٹ کے لیے .codex/environments چیک کریں۔","compoundButton.secondaryAction":"ثانوی کارروائی","copyButton.copied":"کاپی ہو گیا","copyButton.copiedAriaLabel":"کاپی ہو گیا","copyButton.copy":"کاپی کریں","copyButton.copyAriaLabel":"کاپی کریں","copyButton.copyCode":"کوڈ کاپی کریں","diff.actionButton.revertFile":"فائل کو واپس لائیں","diff.actionButton.revertHunk":"واپس آئیں","diff.actionButton.revertSection":"تمام کو واپس لائیں","diff.actionButton.revertSectionLabel":"تمام کو واپس لائیں","diff.actionButton.stageFile":"فائل کو اسٹیج کریں","diff.actionButton.stageHunk":"اسٹیج کریں","diff.actionButton.stageSection":"تمام کو اسٹیج کریں","diff.actionButton.stageSectionLabel":"تمام کو اسٹیج کریں","diff.actionButton.unstageFile":"فائل کو ان اسٹیج کریں","diff.actionButton.unstageHunk":"ان اسٹیج کریں","diff.actionButton.unstageSection":"تمام کو ان اسٹیج کریں","diff.actionButton.unstageSectionLabel":"تمام کو ان اسٹیج کریں","diff.fileHeader.toggle":"فائل diff ٹوگل کریں","electron.onboarding.login.apikey.cancel":"منسوخ کریں","electron.onboarding.login.apikey.continue":"جاری رکھیں","electron.onboarding.login.apikey.label":"OpenAI API کلید","electron.onboarding.login.apikey.open":"API کلید درج کریں","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"سائن ان منسوخ کریں","electron.onboarding.login.chatgpt.continue":"ChatGPT کے ساتھ جاری رکھیں","electron.onboarding.login.devbox":"ریموٹ SSH سے جڑیں","electron.onboarding.login.error":"سائن ان ناکام ہوا: {rawMessage}","electron.onboarding.login.snake.start":"سانپ کا کھیل کھیلیں","electron.onboarding.login.sshConfig.cancel":"منسوخ کریں","electron.onboarding.login.sshConfig.continue":"جاری رکھیں","electron.onboarding.login.sshConfig.hostnameLabel":"SSH میزبان نام","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ایجنٹوں کے ساتھ تعمیر کرنے کا بہترین طریقہ","electron.onboarding.login.title":"Codex میں خوش آمدید","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"جاری رکھیں","electron.onboarding.welcome.doubleLimits.description":"Codex ایپ کے آغاز کی خوشی میں، آپ کے پاس 2 اپریل تک 2× کی شرح کی حد ہے۔","electron.onboarding.welcome.freego.description":"Codex آپ کے پلان میں 2 مارچ تک مفت شامل ہے – آئیے مل کر تعمیر شروع کریں۔","electron.onboarding.welcome.new.title.anon":"خوش آمدید!","electron.onboarding.workspace.continue":"جاری رکھیں","electron.onboarding.workspace.empty":"جاری رکھنے کے لیے ایک پروجیکٹ شامل کریں۔","electron.onboarding.workspace.listLabel":"دستیاب پراجیکٹس","electron.onboarding.workspace.loading":"پراجیکٹس کو لوڈ کیا جا رہا ہے…","electron.onboarding.workspace.openFolder":"پراجیکٹ شامل کریں","electron.onboarding.workspace.selectAll":"تمام کو منتخب کریں","electron.onboarding.workspace.skip":"چھوڑ دیں","electron.onboarding.workspace.skip.error":"نیا پراجیکٹ نہیں بنایا جا سکا:{message}","electron.onboarding.workspace.skip.error.unknown":"نامعلوم خرابی","electron.onboarding.workspace.skipping":"ایک نیا پراجیکٹ بنا رہا ہے…","electron.onboarding.workspace.subtitle":"Codex فائلوں میں ترمیم کرنے اور منتخب فولڈرز میں کمانڈ چلانے کے قابل ہو گا۔","electron.onboarding.workspace.title":"پراجیکٹ منتخب کریں","errorPage.list.checkSettings":"اپنی IDE ترتیبات کو اپ ڈیٹ کرنے کی کوشش کریں","errorPage.list.configToml":"غلط ترتیبات کے لیے اپنا config.toml چیک کریں","errorPage.list.downloadExtension":"ایکسٹینشن کا مختلف ورژن ڈاؤن لوڈ کرنے کی کوشش کریں","errorPage.list.runInWsl":"اگر آپ کو مطابقت کے مسائل نظر آرہے ہیں تو WSL میں چلانے کو غیر فعال کرنے کے لیے اپنی ترتیبات کو چیک کریں","execApprovalRequest.menu.runAlways":"ہاں، اس سیشن میں دوبارہ پوچھنے کی ضرورت نہیں","execApprovalRequest.menu.runAlwaysWithAmendment":"ہاں، اور {command} سے شروع ہونے والے کمانڈز کے لیے دوبارہ مت پوچھیں","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ہاں، اور دوبارہ شروع ہونے والے کمانڈز کے لیے مت پوچھیں","execApprovalRequest.menu.runOnce":"ہاں","execApprovalRequest.prompt":"کیا آپ اس کمانڈ کو چلانا چاہتے ہیں؟","execApprovalRequest.reject":"نہیں","execFooter.exitCode":"کوڈ سے باہر نکلیں {code}","execFooter.exitCode.unknown":"نامعلوم","execFooter.success":"کامیابی","feedback.dialog.category.badResult":"برا نتیجہ","feedback.dialog.category.bug":"بگ","feedback.dialog.category.goodResult":"اچھا نتیجہ","feedback.dialog.category.other":"دیگر","feedback.dialog.descriptionPlaceholder":"مسئلے کی یہاں وضاحت کریں","feedback.dialog.dismiss":"چھوڑ دیں","feedback.dialog.includeLogsLabel":"موجودہ Codex سیشن لاگز شامل کریں","feedback.dialog.submit":"جمع کرائیں","feedback.dialog.submitError":"ہم آپ کا فیڈبیک جمع نہیں کر سکے۔ براہ کرم کچھ دیر بعد دوبارہ کوشش کریں۔","feedback.dialog.title":"رائے","feedback.dialog.uploadedMessage.existingIssue":"موجودہ کھلا مسئلہ","feedback.dialog.uploadedMessage.openIssue":"GitHub کا مسئلہ کھولیں","feedback.dialog.uploadedMessage.withThread":"فیڈبیک اپ لوڈ ہو گیا۔ اگر مسئلہ جاری رہتا ہے تو براہ مہربانی {openIssueLink} یا کسی {existingIssueLink} میں سیریز کی آئی ڈی کا تذکرہ کریں:","feedback.dialog.uploadedTitle":"فیڈبیک اپ لوڈ ہو گیا","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename}ہٹائیں","header.back":"واپس جائیں","header.recentChats":"ٹاسکس","header.recentTasks.seeAll":"تمام دیکھیں ({total})","home.header.getPlus":"Plus حاصل کریں","home.hero.letsBuild":"آئیں بنائیں","homePage.mainContent":"بنیادی مواد","imageAttachment.defaultName":"تصویر","imageAttachment.preview.close":"تصویر کا پیش نظارہ بند کریں","imageAttachment.removeAriaLabel":"{filename}ہٹائیں","implementPlanRequest.option.implement":"ہاں، اس منصوبے کو عملی جامہ پہنائیں","implementPlanRequest.prompt":"اس منصوبے کو نافذ کریں؟","inbox.archived.deleteError":"محفوظ شدہ رن کو حذف نہیں کیا جا سکا","inbox.archived.deleteRun":"آرکائیو شدہ رن کو حذف کریں","inbox.archived.deleteSuccess":"آرکائیو شدہ سیریز کو حذف کر دیا گیا۔ <settingsLink>آرکائیو شدہ سیریز</settingsLink> میں دیکھیں۔","inbox.archived.inlineLabel.auto":"یہ تھریڈ خود بخود محفوظ ہو گیا تھا۔ <learnMoreLink> مزید جانیں</learnMoreLink>","inbox.archived.inlineLabel.manual":"اس تھریڈ کو آرکائیو کر دیا گیا تھا۔","inbox.archived.noMessageFound":"کوئی پیغام نہیں ملا","inbox.automations.createError":"آٹومیشن نہیں بن سکی","inbox.automations.deleteConfirm.cancel":"منسوخ کریں","inbox.automations.deleteConfirm.confirm":"آٹومیشن کو حذف کریں","inbox.automations.deleteConfirm.description":"یہ آٹومیشن کو مستقل طور پر حذف کر دے گا اور مستقبل میں ہونے والی کسی بھی چلنے کو روک دے گا۔","inbox.automations.deleteConfirm.title":"{name}حذف کریں؟","inbox.automations.deleteError":"آٹومیشن کو حذف نہیں کیا جا سکا","inbox.automations.editTooltip":"آٹومیشن میں ترمیم کریں","inbox.automations.inProgress":"پیش رفت ہو رہی ہے","inbox.automations.new":"نیا","inbox.automations.newToolbar":"نئی آٹومیشن","inbox.automations.pauseTooltip":"آٹومیشن کو روکیں","inbox.automations.resumeTooltip":"آٹومیشن دوبارہ شروع کریں","inbox.automations.startingNow":"شروع کیا جا رہا ہے","inbox.automations.startsIn":"{startTime} میں شروع ہوتا ہے","inbox.automations.status.active":"فعال کریں","inbox.automations.status.paused":"روک دیا","inbox.automations.status.runs":"{count} چلتا ہے","inbox.automations.status.started":"{date} شروع کیا گیا","inbox.automations.updateError":"آٹومیشن کو اپ ڈیٹ نہیں کیا جا سکا","inbox.automations.workspaceFallback":"-","inbox.filter.all":"تمام","inbox.filter.ariaLabel":"ان باکس آئٹمز کو فلٹر کریں","inbox.filter.unread":"غیر پڑھا ہوا","inbox.list.archived":"آرکائیو کر دیا گیا","inbox.list.inProgress":"پیش رفت ہو رہی ہے","inbox.list.recent":"مکمل شدہ","inbox.list.upNext":"شیڈول کردہ","inbox.mode.automations":"آٹومیشنز","inbox.mode.automations.beta":"بیٹا","inbox.noDescription":"کوئی وضاحت فراہم نہیں کی گئی","inbox.openThread":"تھریڈ کھولیں","inbox.rightPanel.emptySubtitle":"کام کو خودکار بنانے کے لیے شیڈول شدہ ٹاسکس سیٹ کریں","inbox.rightPanel.emptySubtitle.learnMore":"کام کو خودکار بنانے کے لیے شیڈول شدہ سیریز سیٹ کریں۔ <link>مزید جانیں</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# فعال آٹومیشن} other {# فعال آٹومیشنز}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"بغیر پڑھے ہوئے آٹومیشن نہیں ہیں","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# غیر پڑھی ہوئی آٹومیشن} other {# غیر پڑھی ہوئی آٹومیشنز}}","inbox.rightPanel.emptyTitle":"کوئی آئٹم منتخب نہیں کیا گیا","inbox.rightPanel.noThread":"اس آئٹم کے لیے کوئی تھریڈ موجود نہیں","inbox.rightPanel.quickStart.header":"ٹیمپلیٹ کے ساتھ شروع کریں","inbox.untitled":"بلا عنوان ان باکس آئٹم","loadingPage.documentationLink":"آگئی ہے","loadingPage.errorDescription":"Codex درج ذیل خرابی کے باعث کریش ہوگیا:","loadingPage.errorDescription.documentation":"Codex ایکسٹینشن کو دوبارہ شروع کرنے کے لیے دوبارہ لوڈ کریں پر کلک کریں، یا اضافی مدد کے لیے ہماری {documentationLink} ملاحظہ کریں۔","loadingPage.errorSignal":"آزمانے کی کچھ چیزیں:","loadingPage.errorTitle":"خرابی پیش آگئی","loadingPage.openConfigToml":"Config.toml کھولیں","loadingPage.reload":"دوبارہ لوڈ کریں","localConversation.contextCompacted":"سیاق و سباق خود بخود مختصر کر دیا گیا","localConversation.contextCompacting":"سیاق و سباق کو خود بخود مختصر کیا جا رہا ہے","localConversation.forkedFromConversation":"{threadTitle} سے فورک کیا گیا","localConversation.merge.autoResolve.failed":"خودکار حل کی درخواست کرنے میں ناکام: {error}","localConversation.merge.autoResolve.sent":"خودکار حل کی درخواست بھیج دی گئی","localConversation.merge.autoResolveMerge.missingConversation":"ایک فعال گفتگو کے بغیر خود کار طریقے سے حل کرنے سے قاصر ہے۔","localConversation.merge.autoResolveMerge.request":"انضمام کے تنازعات کو خود بخود حل کریں","localConversation.modelChanged":"ماڈل {fromModel} سے {toModel} میں تبدیل کر دیا گیا۔","localConversation.modelChanged.warning.line1":"گفتگو کے دوران ماڈل تبدیل کرنے سے کارکردگی متاثر ہوگی۔","localConversation.modelChanged.warning.line2":"سیاق و سباق خود بخود کم یا مختصر کیا جا سکتا ہے۔","localConversation.moveThread.createBranch.label":"برانچ بنائیں","localConversation.moveToLocal.disabled.loading":"لوڈ ہو رہی ہے…","localConversation.moveToLocal.modal.continue":"جاری رکھیں","localConversation.moveToLocal.modal.destinationLabel":"کو منتقل کریں","localConversation.moveToLocal.modal.retry":"دوبارہ کوشش کریں","localConversation.moveToWorktree.modal.back":"واپس جائیں","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"برانچ پہلے سے موجود ہے۔","localConversation.moveToWorktree.modal.branchesError":"برانچز لوڈ کرنے سے قاصر","localConversation.moveToWorktree.modal.branchesLoading":"برانچز لوڈ ہو رہی ہیں…","localConversation.moveToWorktree.modal.branchesRetry":"دوبارہ کوشش کریں","localConversation.moveToWorktree.modal.continue":"جاری رکھیں","localConversation.moveToWorktree.modal.retry":"دوبارہ کوشش کریں","localConversation.moveToWorktree.modal.trailingSlashError":"برانچ کا نام ’’/‘‘ کے ساتھ ختم نہیں ہوسکتا","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"نئی برانچ","localConversation.personalityChanged":"{personality} شخصیت پر تبدیل ہو گیا","localConversation.planSummary.collapse":"پلان کا خلاصہ ختم کریں","localConversation.planSummary.collapseTooltip":"منہدم کریں","localConversation.planSummary.download":"پلان ڈاوٴن لوڈ کریں","localConversation.planSummary.expand":"پلان کا خلاصہ پھیلائیں","localConversation.planSummary.expandTooltip":"توسیع دیں","localConversation.planSummary.openInNewWindow":"کھولیں","localConversation.planSummary.openInNewWindow.tooltip":"نیا ونڈو میں کھولیں","localConversation.planSummary.title":"منصوبہ","localConversation.planSummary.titleWriting":"تحریری منصوبہ","localConversation.planSummary.viewPlan":"پلان کو وسیع کریں","localConversation.remoteTaskCreated":"Codex Cloud میں {taskLink} بنایا گیا","localConversation.remoteTaskCreated.task":"ٹاسک","localConversation.scrollToBottomButton":"نیچے تک سکرول کریں","localConversation.sync.buttonLabel":"لوکل کے حوالے","localConversation.sync.buttonLabel.tooltip":"اس ورک ٹری اور اپنے مقامی چیک آؤٹ کے درمیان تبدیلیاں ختم کریں۔","localConversation.sync.modal.loading.title":"تبدیلیاں منتقل ہو رہی ہیں…","localConversation.sync.modal.noChanges":"کوئی تبدیلی نہیں","localConversation.syncSetup.branchAriaLabel":"برانڈ کا نام","localConversation.syncSetup.branchName":"برانڈ کا نام","localConversation.syncSetup.branchPlaceholder.existing":"موجودہ برانچ کو منتخب کریں","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"برانچز لوڈ ہو رہی ہیں…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"پہلے ہی چیک آؤٹ کر چکے ہیں","localConversation.syncSetup.checkoutClean":"فی الحال {branchName} پر","localConversation.syncSetup.checkoutDirty":"فی الحال {branchName} پر غیر ارتکاب تبدیلیوں کے ساتھ","localConversation.syncSetup.checkoutError":"برانڈ چیک کرنے میں ناکام:{message}","localConversation.syncSetup.checkoutLabel":"اب مقامی طور پر چیک کریں","localConversation.syncSetup.checkoutOnLocal":"لوکل کے حوالے","localConversation.syncSetup.checkoutPending":"مقامی اسٹیٹس کی جانچ ہو رہی ہے…","localConversation.syncSetup.checkoutUnavailable":"مقامی جائے کار دستیاب نہیں ہیں","localConversation.syncSetup.checkoutUnknown":"مقامی برانچ دستیاب نہیں ہے","localConversation.syncSetup.continue":"جاری رکھیں","localConversation.syncSetup.createBranchError":"حوالے کرتے وقت برانچ سیٹ کرنے میں ناکام:{message}","localConversation.syncSetup.error":"کوئی غلطی ہوئی ہے: {message}","localConversation.syncSetup.error.workingTreeMissing":"ورک ٹری کو اسنیپ شاٹ کرنے سے قاصر ہے۔ براہ کرم حوالے کرنے کی دوبارہ کوشش کریں۔","localConversation.syncSetup.mode.ariaLabel":"برانچ موڈ منتخب کریں","localConversation.syncSetup.mode.existing":"موجودہ برانچ","localConversation.syncSetup.mode.new":"نئی برانچ ","localConversation.syncSetup.noBranches":"کوئی برانچز نہیں ملی","localConversation.syncSetup.overwriteError":"برانچ بنائی گئی تھی لیکن مکمل طور پر بند نہیں کی گئی ہے۔ مقامی طور پر چیک آؤٹ کرنے سے پہلے دستی طور پر ہینڈ آف کریں۔","localConversation.syncSetup.setPrefix":"پریفکس مرتب کریں","localConversation.syncSetup.subtitle":"مقامی طور پر ورک ٹری تبدیلیوں کی جانچ اور تدوین کریں۔ <a>مزید جانیں</a>","localConversation.syncSetup.success.checkedOut":"برانچ بنائی گئی تھی اور اسے مقامی طور پر چیک کیا جاتا ہے","localConversation.syncSetup.success.notCheckedOut":"برانچ بنائی","localConversation.syncSetup.title":"لاکل برانچ کے حوالے کریں","localConversation.syncWorktreeError.branchAriaLabel":"برانڈ کا نام","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"حوالے کرنے کے لیے ایک برانچ کا انتخاب کریں، پھر تبدیلیاں لوڈ کرنے کی دوبارہ کوشش کریں۔","localConversation.syncWorktreeError.branchSetup.title":"برانچ اپ ڈیٹ کریں","localConversation.syncWorktreeError.branchUpdate.cta":"اپ ڈیٹ کریں اور دوبارہ کوشش کریں","localConversation.syncWorktreeError.branchUpdate.error":"برانچ کو اپ ڈیٹ کرنے میں ناکام:{message}","localConversation.syncWorktreeError.branchUpdate.unknown":"کوئی غلطی ہوئی ہے: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"کسی بھی ورک ٹری میں برانچ کو چیک آؤٹ نہیں کیا جاتا ہے۔","localConversation.syncWorktreeV2.applyUncommitted":"اطلاق کریں","localConversation.syncWorktreeV2.applyUncommitted.disabled":"غیر ارتکاب شدہ تبدیلیاں لاگو کرنے کے لیے آپ کو مقامی طور پر برانچ کو چیک کرنا چاہیے۔","localConversation.syncWorktreeV2.branches.empty":"کوئی برانچز نہیں ملی","localConversation.syncWorktreeV2.branches.loading":"برانچز لوڈ ہو رہی ہیں…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"حوالے کرتے وقت برانچ کو تبدیل کریں","localConversation.syncWorktreeV2.changeBranch.error":"حوالے کرتے وقت برانچ کو تبدیل کرنے میں ناکام:{message}","localConversation.syncWorktreeV2.commandError.action.apply":"اطلاق کرنے میں ناکام","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"ورک ٹری کو اوور رائٹ کرنا ناکام ہوگیا","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"لوکل کو اوور رائٹ کرنے میں ناکام","localConversation.syncWorktreeV2.commandError.back":"واپس جائیں","localConversation.syncWorktreeV2.commandError.body":"ایک گٹ کمانڈ حوالے کرتے وقت ناکام ہوگئی۔ آؤٹ پٹ کا جائزہ لیں اور دوبارہ کوشش کریں۔","localConversation.syncWorktreeV2.commandError.retry":"دوبارہ کوشش کریں","localConversation.syncWorktreeV2.description":"مقامی اور اس ورک ٹری کے درمیان تبدیلیاں ختم کریں<a> مزید جانیں</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"حوالے کرتے وقت سمت کا انتخاب کریں","localConversation.syncWorktreeV2.error.generic":"حوالے کرتے وقت کچھ غلط ہو گیا۔ دوبارہ کوشش کریں۔","localConversation.syncWorktreeV2.localBranchLabel":"لوکل","localConversation.syncWorktreeV2.noChanges":"تبدیلیوں کا حساب لگانا","localConversation.syncWorktreeV2.noChanges.summary":"کوئی تبدیلی نہیں","localConversation.syncWorktreeV2.overwrite.local":"لوکل کو اوور رائٹ کریں","localConversation.syncWorktreeV2.overwrite.worktree":"ورک ٹری کو اوور رائٹ کریں","localConversation.syncWorktreeV2.partial.action.applyFailed":"تبدیلیاں لاگو نہیں ہو سکیں","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"مقامی تبدیلیوں کو اوور رائٹ نہیں کیا جا سکا","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ورک ٹری کی تبدیلیوں کو اوور رائٹ نہیں کیا جا سکا","localConversation.syncWorktreeV2.partial.appliedLabel":"لاگو ہوگیا","localConversation.syncWorktreeV2.partial.back":"واپس جائیں","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"تنازعات کو حل کریں اور دوبارہ کوشش کریں۔","localConversation.syncWorktreeV2.partial.conflictsLabel":"تنازعات","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# فائل} other {# فائلیں}}","localConversation.syncWorktreeV2.partial.retry":"دوبارہ کوشش کریں","localConversation.syncWorktreeV2.partial.skippedLabel":"چھوڑ دیا","localConversation.syncWorktreeV2.stateFailed.generic":"ورک ٹری کی تبدیلیوں کو حوالے کرتے وقت  کرنے کے لیے لانے کے دوران کچھ غلط ہو گیا۔ براہ کرم دوبارہ کوشش کریں۔","localConversation.syncWorktreeV2.stateFailed.title":"ورک ٹری تبدیلیاں لوڈ کرنے میں ناکام","localConversation.syncWorktreeV2.statusError.diffUnknown":"ورک ٹری تبدیلیاں لوڈ کرنے میں ناکام۔","localConversation.syncWorktreeV2.statusError.retry":"دوبارہ کوشش کریں","localConversation.syncWorktreeV2.statusError.title":"مقامی برانچ کی تبدیلیاں لوڈ کرنے سے قاصر","localConversation.syncWorktreeV2.statusError.unknown":"برانچ اسٹیٹس ابھی دستیاب نہیں ہے۔ دوبارہ کوشش کریں۔","localConversation.syncWorktreeV2.success.apply":"تبدیلیاں کامیابی سے لاگو کی گئیں","localConversation.syncWorktreeV2.success.overwrite":"حوالگی کا عمل کامیابی سے مکمل ہو گیا","localConversation.syncWorktreeV2.title":"تبدیلیاں حوالے کریں","localConversation.syncWorktreeV2.worktreeLabel":"ورک ٹری","localConversation.userInputRequest.inProgress":"{count, plural, one {سوال} other {سوالات}}پوچھ رہا ہے","localConversation.userInputRequest.noAnswer":"کوئی جواب نہیں دیا گیا","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"پوچھا","localConversation.userInputRequest.summary.count":"{count, plural, one {# سوال} other {#سوالات}}","localConversation.workedFor":"{time} کے لیے کام کیا","localConversation.worktreeBranchSetup.action.create":"بنائیں","localConversation.worktreeBranchSetup.branchAriaLabel":"برانڈ کا نام","localConversation.worktreeBranchSetup.branchPlaceholder.new":"نئی برانچ بنائیں","localConversation.worktreeBranchSetup.checkoutDisabled":"یہ برانچ پہلے ہی {location} پر چیک آؤٹ کر چکی ہے","localConversation.worktreeBranchSetup.checkoutError":"برانڈ چیک کرنے میں ناکام:{message}","localConversation.worktreeBranchSetup.createBranchError":"برانچ سیٹ کرنے میں ناکام:{message}","localConversation.worktreeBranchSetup.error":"کوئی غلطی ہوئی ہے: {message}","localConversation.worktreeBranchSetup.subtitle":"اس ورک ٹری سے تبدیلیاں کرنے، آگے بڑھانے اور PR بنانے کے لیے ایک برانچ بنائیں۔ <a>مزید جانیں</a>","localConversation.worktreeBranchSetup.title":"یہاں کام کریں","localConversationPage.addWorktreeToSidebar.tooltip":"ایک پروجیکٹ کے طور پر محفوظ کریں تاکہ آپ اس ورک ٹری سے نئے تھریڈز شروع کر سکیں","localConversationPage.addWorktreeToSidebarError":"پروجیکٹ شامل کرنے میں ناکام","localConversationPage.commitAndCreatePrModal.errorTitle":"عزم اور PR بنانے میں ناکام ہو گیا","localConversationPage.commitAndCreatePrModal.successTitle":"پرعزم اور PR بنایا","localConversationPage.commitAndPushModal.errorTitle":"کمٹ اور پش ناکام ہو گیا","localConversationPage.commitAndPushModal.successTitle":"پرعزم اور تبدیلیوں کو آگے بڑھایا","localConversationPage.commitCreatePr.open":"کھینچنے کی درخواست کھولیں","localConversationPage.commitCreatePr.successTitle":"آپ کی تازہ ترین تبدیلیوں کے ساتھ PR بنایا","localConversationPage.createBranchButtonLabel":"یہاں برانچ بنائیں","localConversationPage.createPrModal.baseBranch":"بیس","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR بنائیں","localConversationPage.createPrModal.createDescription":"اپنی تازہ ترین تبدیلیوں کے لیے پل کی درخواست کھولیں۔","localConversationPage.createPrModal.errorTitle":"پل کی درخواست ناکام رہی","localConversationPage.createPrModal.headBranch":"منتظمِ اعلیٰ","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Open PR","localConversationPage.createPrModal.successTitle":"پُل ریکویسٹ بنایا گیا","localConversationPage.createPrModal.title":"پُل ریکویسٹ بنائیں","localConversationPage.createPrModal.viewDescription":"اس برانچ کے لیے ایک پل کی درخواست پہلے سے موجود ہے۔","localConversationPage.createPrModal.viewTitle":"پل کی درخواست تیار ہے","localConversationPage.createPullRequestAuthGh":"GitHub CLI کی توثیق کریں: `gh auth login` چلائیں","localConversationPage.createPullRequestBranchMissing":"برانچ کی معلومات دستیاب نہیں ہے","localConversationPage.createPullRequestButtonLabel":"PR بنائیں","localConversationPage.createPullRequestButtonLabel.loading":"PR بنایا جا رہا ہے…","localConversationPage.createPullRequestDefaultBranchMissing":"پہلے سے طے شدہ برانچ کی معلومات دستیاب نہیں ہے","localConversationPage.createPullRequestError":"پُل ریکویسٹ بنانے میں ناکامی ہوئی","localConversationPage.createPullRequestExistingPullRequest":"اس برانچ کے لیے ایک پل کی درخواست پہلے سے موجود ہے","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI اسٹیٹس لوڈ ہو رہا ہے…","localConversationPage.createPullRequestInstallGh":"PRs بنانے کے لیے GitHub CLI (gh) انسٹال کریں","localConversationPage.createPullRequestNoRepo":"کوئی git ریپازٹری نہیں ملی","localConversationPage.createPullRequestPushStatusMissing":"پُش اسٹیٹس لوڈ ہو رہا ہے...","localConversationPage.createPullRequestSetUpstream":"PR بنانے سے پہلے اس برانچ کو پُش کریں","localConversationPage.createPullRequestSuccessToast":"پُل ریکویسٹ بنایا گیا","localConversationPage.createPullRequestSwitchBranch":"PR بنانے سے پہلے فیچر برانچ چیک کریں","localConversationPage.error.render":"مقامی گفتگو رینڈر کرنے میں خرابی پیش آگئی","localConversationPage.error.toast":"گفتگو نہیں ملی","localConversationPage.forcePushError":"زبردستی پُش میں ناکام","localConversationPage.generatePullRequestMessageError":"پل درخواست کا عنوان اور باڈی بنانے میں ناکام","localConversationPage.generatePullRequestMessageFailed":"پل درخواست کا عنوان اور باڈی بنانے میں ناکام","localConversationPage.gitActionResult.branch":"برانچ","localConversationPage.gitActionResult.cancel":"منسوخ کریں","localConversationPage.gitActionResult.close":"بند کریں","localConversationPage.gitActionResult.tryAgain":"دوبارہ کوشش کریں","localConversationPage.gitActions":"Git کارروائیاں","localConversationPage.newChat":"نئی چیٹ","localConversationPage.openInTarget":"اس میں کھولیں","localConversationPage.openPrimaryTarget":"کھولیں","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# ٹاسک مکمل ہو گیا} other {# ٹاسکس مکمل ہوگئے}} میں سے {completedItems}","localConversationPage.pushAuthError":"پُش ناکام: تصدیق درکار ہے","localConversationPage.pushBranchMissing":"برانچ کی معلومات دستیاب نہیں ہے","localConversationPage.pushButtonLabel":"پش","localConversationPage.pushButtonLabel.loading":"پُشنگ...","localConversationPage.pushError":"تبدیلیاں پُش کرنے میں ناکامی","localConversationPage.pushModal.branchLabel":"برانچ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"منسوخ کریں","localConversationPage.pushModal.confirm":"پش","localConversationPage.pushModal.description":"اپنے تازہ ترین کمٹس کو ریموٹ ریپوزٹری میں بھیجیں۔","localConversationPage.pushModal.errorTitle":"ناکام شدہ پش","localConversationPage.pushModal.forcePush":"زبردستی پش","localConversationPage.pushModal.successTitle":"پش مکمل","localConversationPage.pushModal.title":"پُش تبدیلیاں","localConversationPage.pushModal.tryAgain":"دوبارہ کوشش کریں","localConversationPage.pushNoUpstream":"اس برانچ کو پُش کرنے سے پہلے اَپ اسٹریم سیٹ کریں۔","localConversationPage.pushNoUpstreamError":"پُش ناکام: کوئی اپ اسٹریم کنفیگر نہیں ہے","localConversationPage.pushNothingToPush":"پُش کرنے کے لیے کوئی نئی کمٹس نہیں ہیں","localConversationPage.pushRemoteChangedError":"پُش ناکام: ریموٹ میں نئی ​​کمٹس ہیں","localConversationPage.pushRemoteRejectedError":"ریموٹ سے پُش کو مسترد کردیا گیا","localConversationPage.pushStatusMissing":"پُش اسٹیٹس لوڈ ہو رہا ہے...","localConversationPage.pushSuccessToast":"تبدیلیاں کی گئی ہیں","localConversationPage.viewPullRequestButtonLabel":"PR دیکھیں","localConversationPage.viewPullRequestButtonLabel.loading":"پل کی درخواست لوڈ ہو رہی ہے…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# فائل} other {# فائلیں}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# فہرست} other {# فہرستیں}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# تلاش} other {# تلاش}}</countText>","localConversationTurn.exploration.accordion.count.separator":"،","localConversationTurn.exploration.accordion.header.active":"دریافت کیا جارہا ہے","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"دریافت کیا گیا","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} کو دریافت کیا گیا","localConversationTurnStory.showContent":"مواد دکھائیں","localConversationTurnStory.streamContent":"مواد دیکھیں","localConversationTurnStory.toggleReasoning":"استدلال دکھائیں","localTaskRow.archiveError":"گفتگو آرکائیو نہیں کی جا سکی","localTaskRow.resumeError":"ٹاسک دوبارہ شروع کرنے میں ناکامی","mermaidDiagram.ariaLabel":"مرمیڈ ڈائیگرام","mermaidDiagram.copySource":"مرمیڈ کو کاپی کریں","mermaidDiagram.originalCode":"مرمیڈ سورس کوڈ","notifications.permissions.description":"جب اطلاع کی اجازت درکار ہو تو الرٹس دکھائیں","notifications.permissions.label":"اجازت کی اطلاعات فعال کریں","notifications.turnMode.always":"ہمیشہ","notifications.turnMode.description":"سیٹ کریں جب Codex آپ کو متنبہ کرے کہ یہ ختم ہو گیا ہے","notifications.turnMode.label":"تکمیل کی اطلاعات آن کریں","notifications.turnMode.off":"کبھی نہیں","notifications.turnMode.unfocused":"صرف جب توجہ مرکوز نہ ہو","patchApprovalRequest.approve":"منظور کریں","patchApprovalRequest.menu.allowAlways":"ہاں، اس سیشن میں دوبارہ پوچھنے کی ضرورت نہیں","patchApprovalRequest.menu.allowForSession":"ہاں، اس سیشن میں دوبارہ پوچھنے کی ضرورت نہیں","patchApprovalRequest.menu.allowOnce":"ہاں","patchApprovalRequest.prompt":"کیا آپ یہ تبدیلیاں کرنا چاہتے ہیں؟","patchApprovalRequest.reject":"نہیں","patchApprovalRequest.waitingForApproval":"فائلوں میں ترمیم کرنے کے لیے منظوری کا انتظار ہے","pendingRequest.approvalExec.collapse":"منہدم کریں","pendingRequest.approvalExec.expand":"توسیع دیں","pendingRequestStory.toastAnswer":"جواب:{answer}","pendingRequestStory.toastApprovalTitle":"منظورانہ جواب","pendingRequestStory.toastFollowupPrompt":"پرامپٹ: {prompt}","pendingRequestStory.toastFollowupTitle":"فالو اپ بھیجا گیا","pendingRequestStory.toastNoAnswers":"کوئی جواب نہیں دیا گیا","pendingRequestStory.toastQuestion":"سوال :{question}","pendingRequestStory.toastUnknownDecision":"نامعلوم","pendingRequestStory.toastUserInputTitle":"جمع کرائے گئے جوابات","quickAction.request.codeReview.branches.new":"براہ کرم {to} کے خلاف {from} پر تبدیلیوں کا جائزہ لیں","quickAction.request.codeReview.uncommitted.new":"براہ کرم میری غیر محفوظ شدہ تبدیلیوں کا جائزہ لیں","reasoningItem.thinking":"سوچ رہا ہے","reasoningItem.thought":"سوچا","reasoningItem.thoughtWithElapsed":"{elapsed} کے لیے سوچا","recentConversations.title":"حالیہ گفتگو","recentTasks.worktreeInitFailedTitle":"ورک ٹری کی شروعات ناکام ہوگئی","recentTasks.worktreeSettingUpTitle":"ورک ٹری کو ترتیب دینا","requestInputPanel.continue":"جاری رکھیں","requestInputPanel.dismiss":"چھوڑ دیں","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"یہاں ٹائپ کریں","requestInputPanel.optionIndex":"{index}۔","requestInputPanel.otherPlaceholder":"نہیں، اور Codex کو بتائیں کہ مختلف طریقے سے کیا کرنا ہے","requestInputPanel.selectedBadge":"منتخب کردہ","requestInputPanel.skip":"چھوڑ دیں","requestInputPanel.submit":"جمع کرائیں","review.commit.ariaLabel.includeUnstaged":"غیر مرحلہ کردہ تبدیلیاں شامل کریں","review.commit.buttonLabel":"کمِٹ","review.commit.disabled.committing":"عزم کر رہا ہے...","review.commit.disabled.loadingDiff":"لوڈ کر رہا ہے…","review.commit.disabled.missingContext":"کمٹ کا پیغام بنانے کے لیے کچھ سیاق و سباق شامل کریں","review.commit.disabled.noChanges":"ارتکاب کے لیے کوئی تبدیلی نہیں ہے","review.commit.disabled.noSelection":"کمٹ کرنے کے لیے تبدیلیاں منتخب کریں","review.commit.disabled.unavailable":"کمٹ فی الحال دستیاب نہیں ہے","review.commit.error":"تبدیلیاں نہیں کی جا سکیں","review.commit.form.changesToBeCommitted":"تبدیلیاں","review.commit.form.commitTo":"برانچ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"جاری رکھیں","review.commit.form.title":"اپنی تبدیلیوں کا عہد کریں","review.commit.generate.emptyResponse":"کمٹ کا پیغام نہیں بنایا جا سکا۔","review.commit.generate.failed":"کمٹ کا پیغام بنانے میں ناکام:{error}","review.commit.generate.missingPrompt":"کمٹ  کا پیغام بنانے کے لیے کچھ سیاق و سباق شامل کریں۔","review.commit.includeUnstaged":"غیر مرحلہ کردہ تبدیلیاں شامل کریں","review.commit.loading.description":"مضبوطی سے تھامیں، اس میں کچھ لمحات لگ سکتے ہیں…","review.commit.loading.step.commit.done":"انجام دی گئی تبدیلیاں","review.commit.loading.step.commit.pending":"تبدیلیاں انجام دی جا رہی ہیں","review.commit.loading.step.createPr.done":"پُل ریکویسٹ بنادی گئی","review.commit.loading.step.createPr.pending":"پُل ریکویسٹ بنائی جا رہی ہے…","review.commit.loading.step.push.done":"برانچ {branch} پر بھیج دیا گیا","review.commit.loading.step.push.pending":"برانچ {branch} پر بھیجا جا رہا ہے","review.commit.loading.title.commit":"تبدیلیاں انجام دی جا رہی ہیں","review.commit.loading.title.createPr":"PR بنانا","review.commit.loading.title.push":"تبدیلیاں بھیجی جا رہی ہیں","review.commit.messageLabel":"کمِٹ کا پیغام","review.commit.messagePlaceholder":"کمٹ میسج کو خودکار بنانے کے لیے خالی چھوڑ دیں","review.commit.nextSteps":"اگلے مراحل","review.commit.nextSteps.commit":"عزم","review.commit.nextSteps.commitAndCreate":"عزم کریں اور PR بنائیں","review.commit.nextSteps.commitAndPush":"عزم اور پش ناکام ہو گیا","review.commit.nextSteps.prRequiresGh":"GitHub CLI کی ضرورت ہے:{command}","review.commit.rows.changes":"تبدیلیاں","review.commit.rows.commitCount":"{count, plural, one {# کمِٹ} other {#کمٹس}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# کمِٹ} other {#کمٹس}} اور {stats}","review.commit.rows.fileCount":"{count, plural, one {# فائل} other {# فائلیں}}","review.commit.state.error.body":"ارتکاب کرتے وقت کچھ غلط ہو گیا۔ اپنی گٹ اسٹیٹس چیک کریں اور دوبارہ کوشش کریں۔","review.commit.state.error.title":"عزم ناکام ہو گیا","review.commit.state.success.title":"تبدیلیاں کی گئیں","review.commit.untracked.loadingStats":"غیر ٹریک شدہ فرق کے اعدادوشمار لوڈ ہو رہے ہیں…","reviewFindingAttachments.count":"{count, plural, one {# نتیجہ} other {# نتائج}}","settings.agent.configuration.configToml":"اور سینڈ باکس کی پالیسیوں","settings.agent.configuration.configToml.description":"ایجنٹ کے رویے کو حسبِ ضرورت بنانے کے لیے اپنی کنفیگریشن میں ترمیم کریں","settings.agent.configuration.configToml.docs":"دستاویزات","settings.agent.configuration.subtitle":"یہ ترتیبات کسی بھی جگہ پر لاگو ہوتی ہیں جہاں Codex استعمال ہوتا ہے","settings.automations.banner.danger":'"خودکار عمل آٹومیشنز آپ کی ڈیفالٹ سینڈ باکس سیٹنگز کے ساتھ چلتے ہیں، جو اس وقت مکمل رسائی پر سیٹ ہیں۔ مکمل رسائی کے ساتھ پسِ منظر میں آٹومیشنز چلانے میں زیادہ خطرہ ہوتا ہے، کیونکہ Codex فائلیں تبدیل کر سکتا ہے، کمانڈز چلا سکتا ہے، اور نیٹ ورک تک بغیر اجازت رسائی حاصل کر سکتا ہے۔ سینڈ باکس سیٹنگز کو جائے کار لکھنے  پر اپ ڈیٹ کرنے پر غور کریں، اور<rulesDocsLink> قواعد</rulesDocsLink>استعمال کریں تاکہ یہ طے کیا جا سکے کہ ایجنٹ کونسی کمانڈز مکمل رسائی کے ساتھ چلا سکتا ہے۔"',"settings.automations.banner.defaultHowTo.default":"خودکار عمل آٹومیشنز آپ کی ڈیفالٹ سینڈ باکس سیٹنگز کے ساتھ چلتے ہیں۔ اگر کسی ٹول کو جائے کار کے باہر فائلیں تبدیل کرنے، نیٹ ورک تک رسائی حاصل کرنے، یا آپ کے کمپیوٹر پر ایپس کے ساتھ کام کرنے کی ضرورت ہو تو وہ ناکام ہو جائیں گے۔ آپ<rulesDocsLink> قواعد</rulesDocsLink> استعمال کر کے منتخب کمانڈز کو سینڈ باکس کے باہر چلانے کی اجازت دے سکتے ہیں۔","settings.automations.banner.defaultHowTo.readOnly":"خودکار عمل آٹومیشنز آپ کی ڈیفالٹ سینڈ باکس سیٹنگز کے ساتھ چلتے ہیں، جو اس وقت صرف پڑھنے کی اجازت پر سیٹ ہیں۔ اگر کسی ٹول کو فائلیں تبدیل کرنے، نیٹ ورک تک رسائی حاصل کرنے، یا آپ کے کمپیوٹر پر ایپس کے ساتھ کام کرنے کی ضرورت ہو تو وہ ناکام ہو جائیں گے۔ سینڈ باکس سیٹنگز کو ورک اسپیس لکھنے پر اپ ڈیٹ کرنے پر غور کریں۔","settings.automations.cancel":"منسوخ کریں","settings.automations.create":"بنائیں","settings.automations.cwdEmpty":"کوئی پروجیکٹ فولڈر دستیاب نہیں ہے","settings.automations.cwdLabel":"پراجیکٹس/منصوبے","settings.automations.cwdPlaceholder":"ایک فولڈر منتخب کریں","settings.automations.cwdSubtitle":"اگر آپ کسی مخصوص برانچ پر آٹومیشن چلانا چاہتے ہیں، تو آپ اسے اپنے پرامپٹ میں بتا سکتے ہیں۔","settings.automations.delete":"حذف کریں","settings.automations.dialog.editTitle":"آٹومیشن میں ترمیم کریں","settings.automations.dialog.newTitle":"نئی آٹومیشن","settings.automations.dialog.subtitle":"پس منظر میں بار بار ہونے والے کاموں کو خودکار بنائیں آٹومیشنز۔ Codex نتائج کو ان باکس میں شامل کرتا ہے، یا اگر رپورٹ کرنے کے لیے کچھ نہ ہو تو خودکار طور پر کام کو آرکائیو کر دیتا ہے۔<learnMoreLink> مزید جانیں</learnMoreLink>","settings.automations.dialog.title":"آٹومیشن بنائیں","settings.automations.executionCopy.git":"آٹومیشنز مخصوص ورک ٹریز پر پس منظر میں چلتی ہیں۔","settings.automations.executionCopy.nonGit":"غیر ورژن کنٹرول شدہ پراجیکٹس میں آٹومیشنز براہِ راست پراجیکٹ ڈائریکٹری میں چلتی ہیں۔ پس منظر میں ورک ٹریز پر چلانے کے لیے Git استعمال کرنے پر غور کریں۔","settings.automations.executionEnvironment.local":"لوکل","settings.automations.executionEnvironment.worktree":"ورک ٹری","settings.automations.loading":"لوڈ ہو رہی ہے…","settings.automations.nameLabel":"نام","settings.automations.namePlaceholder":"سنٹری کے مسائل کی جانچ کریں","settings.automations.pause":"روکیں","settings.automations.promptLabel":"پرامپٹ","settings.automations.promptPlaceholder":"$Sentryمیں کریشز تلاش کریں","settings.automations.resume":"دوبارہ شروع کریں","settings.automations.rruleSummaryFallback":"حسبِ ضرورت شیڈول","settings.automations.runNow":"امتحان","settings.automations.save":"محفوظ کریں","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"ہفتے کے پہلے ۵ دن","settings.automations.scheduleBadge.weekends":"ہفتے کے آخری ۲ دن","settings.automations.scheduleHeader":"شیڈول کریں","settings.automations.scheduleHours":"گھنٹے","settings.automations.scheduleLabel":"رن کریں ہر","settings.automations.scheduleMode.daily":"روز","settings.automations.scheduleMode.interval":"وقفہ","settings.automations.scheduleModeLabel":"شیڈول کی قسم","settings.automations.scheduleSummary.daily":"روز {time} کو","settings.automations.scheduleSummary.interval":"ہر {count}گھنٹہ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# دن} other {# دن}}","settings.automations.scheduleSummary.intervalDays":"{interval} پر {days}","settings.automations.scheduleSummary.intervalHourly":"گھنٹہ وار","settings.automations.scheduleSummary.singleDay":"{day} بوقت {time}","settings.automations.scheduleSummary.weekdays":"ہفتے کے دن {time} پر","settings.automations.scheduleSummary.weekdaysLabel":"ہفتے کے دن","settings.automations.scheduleSummary.weekends":"ہفتہ وار تعطیلات {time} پر","settings.automations.scheduleSummary.weekendsLabel":"اختتام ہفتہ","settings.automations.scheduleSummary.weekly":"{days} بوقت {time}","settings.automations.scheduleWeekdays":"آن","settings.automations.weekdayState.excluded":"خارج","settings.automations.weekdayState.included":"شامل","settings.conversationDetail.steps":"مراحل","settings.conversationDetail.steps.description":"کمانڈز اور آؤٹ پٹ چھپائیں","settings.conversationDetail.stepsWithCommands":"کوڈ کمانڈز کے ساتھ اقدامات","settings.conversationDetail.stepsWithCommands.description":"کمانڈز دکھائیں، آؤٹ پٹ کو ختم کریں","settings.conversationDetail.stepsWithOutput":"کوڈ آؤٹ پٹ کے ساتھ اقدامات","settings.conversationDetail.stepsWithOutput.description":"کمانڈز دکھائیں اور آؤٹ پٹ کو بڑھائیں","settings.dataControls.archivedChats.dateTime":"{date}، {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}، {time} • {repo}","settings.dataControls.archivedChats.empty":"کوئی آرکائیو شدہ چیٹس نہیں ہیں۔","settings.dataControls.archivedChats.error":"محفوظ شدہ چیٹس کو لوڈ نہیں کیا جا سکا۔","settings.dataControls.archivedChats.loading":"آرکائیو شدہ چیٹس کو لوڈ کیا جا رہا ہے…","settings.dataControls.archivedChats.unarchive":"محفوظ شدہ حالت سے ہٹائیں","settings.dataControls.archivedChats.unarchiveError":"چیٹ کو آرکائیو کرنے میں ناکام","settings.dataControls.archivedChats.unarchiveSuccess":"غیر محفوظ شدہ تھریڈ۔ <viewNowLink>ابھی دیکھیں </viewNowLink>","settings.dataControls.archivedChats.untitled":"بلا عنوان چیٹ","settings.editRow.headerPlaceholder":"کلید","settings.editRow.removeEntry":"انٹری ہٹائیں","settings.editRow.valuePlaceholder":"قدر","settings.general.appearance":"شکل و صورت","settings.general.appearance.codeFont":"کوڈ فونٹ","settings.general.appearance.codeFont.description":"چیٹس اور ڈیفس میں کوڈ کے لیے استعمال ہونے والے فونٹ اور سائز کو ایڈجسٹ کریں۔","settings.general.appearance.codeFontFamily":"کوڈ فونٹ فیملی","settings.general.appearance.codeFontSize":"کوڈ فونٹ کا سائز","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ونڈوز کو سسٹم کی شفافیت کے بجائے ٹھوس پس منظر کا استعمال کریں۔","settings.general.appearance.opaqueWindows.label":"مبہم ونڈو کا پس منظر استعمال کریں","settings.general.appearance.sansFontFamily":"Sans فونٹ فیملی","settings.general.appearance.sansFontFamily.description":"Codex UI کے لیے استعمال ہونے والے فونٹ کو ایڈجسٹ کریں","settings.general.appearance.sansFontSize":"Sans فونٹ سائز","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"جب GPT‑5.3‑Codex‑Spark پہلی بار چل رہا ہو تو پورے ونڈو میں جشن کے ایفیکٹس دکھائیں۔","settings.general.appearance.sparkCelebrationEffects.label":"جشن کے چمکدار ایفیکٹس","settings.general.appearance.theme":"تھیم","settings.general.appearance.theme.dark":"ڈارک","settings.general.appearance.theme.description":"روشنی، اندھیرا استعمال کریں یا اپنے سسٹم سے مماثل ہوں","settings.general.appearance.theme.light":"لائٹ","settings.general.appearance.theme.system":"سسٹم","settings.general.appearance.usePointerCursors.description":"انٹرایکٹو عناصر پر ہوورنگ کرتے وقت کرسر کو پوائنٹر میں تبدیل کریں","settings.general.appearance.usePointerCursors.label":"پوائنٹر کرسر استعمال کریں","settings.general.enterBehavior.description":"جب فعال ہو، تو کثیر السطری پرومپٹس بھیجنے کے لیے {modifierSymbol} + انٹر دبانا ضروری ہے۔","settings.general.enterBehavior.label":"لمبے پرومپٹس بھیجنے کے لیے {modifierSymbol} + انٹر دبائیں","settings.general.experimentalFeatures":"تجرباتی خصوصیات (بیٹا)","settings.general.experimentalFeatures.empty":"کوئی بیٹا تجرباتی خصوصیات دستیاب نہیں ہیں۔","settings.general.experimentalFeatures.loading":"تجرباتی خصوصیات لوڈ ہو رہی ہیں…","settings.general.experimentalFeatures.restartNote":"تجرباتی خصوصیت کی تبدیلیوں کو لاگو کرنے کے لیے Codex کو دوبارہ شروع کریں۔","settings.general.experimentalFeatures.toggle":"ٹوگل {featureName}","settings.general.followUpQueueMode.description":"Codex کے چلنے کے دوران فالو اپ کو قطار میں لگائیں یا موجودہ رن میں خلل ڈالیں۔","settings.general.followUpQueueMode.interrupt":"چلانا","settings.general.followUpQueueMode.label":"رویہ فالو اپ کریں","settings.general.followUpQueueMode.queue":"قطار","settings.general.notifications":"اطلاعات","settings.general.power.preventSleepWhileRunning.description":"جب Codex تھریڈ چلا رہا ہو تو اپنے کمپیوٹر کو چالو رکھیں۔","settings.general.power.preventSleepWhileRunning.label":"چلانے کے دوران سلیپ کو روکے رکھیں","settings.git.branchPrefix.ariaLabel":"برانچ پریفکس","settings.git.branchPrefix.description":"Codex میں نئی ​​شاخیں بناتے وقت استعمال ہونے والا برانچ پریفکس","settings.git.branchPrefix.label":"برانچ پریفکس","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"برانچ پریفکس ​​محفوظ کرنے میں ناکام","settings.git.branchPrefix.save.success":"برانچ پریفکس محفوظ کیا","settings.git.commitInstructions.ariaLabel":"ہدایات کا ارتکاب کریں","settings.git.commitInstructions.description":"پیغام جنریشن پرامپٹس میں شامل کیا گیا","settings.git.commitInstructions.label":"ہدایات کا ارتکاب کریں","settings.git.commitInstructions.placeholder":"کمٹ کا پیغام گائیڈنس شامل کریں…","settings.git.commitInstructions.save":"محفوظ کریں","settings.git.commitInstructions.save.error":"کمٹ کی ہدایات کو محفوظ کرنے میں ناکام","settings.git.commitInstructions.save.success":"محفوظ کردہ کمٹ ہدایات","settings.git.forcePush.ariaLabel":"ہمیشہ فورس پُش","settings.git.forcePush.description":"Codex پُشنگ کے وقت --force-with-lease کا استعمال کریں","settings.git.forcePush.label":"ہمیشہ فورس پُش","settings.git.forcePush.save.disabled":"ہمیشہ فورس پُش کو غیر فعال کردیا گیا","settings.git.forcePush.save.enabled":"ہمیشہ فورس پُش کو فعال کردیا گیا","settings.git.forcePush.save.error":"فورس پش سیٹنگ کو محفوظ کرنے میں ناکام","settings.git.prInstructions.ariaLabel":"پل درخواست کی ہدایات","settings.git.prInstructions.description":"Codex کی جانب سے بنائی گئی پل ریکویسٹ کو باڈی میں شامل کیا گیا","settings.git.prInstructions.label":"پل درخواست کی ہدایات","settings.git.prInstructions.placeholder":"پل کی درخواست کی رہنمائی شامل کریں…","settings.git.prInstructions.save":"محفوظ کریں","settings.git.prInstructions.save.error":"پل درخواست کی ہدایات کو محفوظ کرنے میں ناکام","settings.git.prInstructions.save.success":"پل درخواست کی ہدایات کو محفوظ","settings.ide.defaultOpenTarget.description":"جہاں فائلیں اور فولڈرز بطور ڈیفالٹ کھلتے ہیں","settings.ide.defaultOpenTarget.label":"کھلنے کی ڈیفالٹ منزل","settings.ide.defaultOpenTarget.placeholder":"کوئی ہدف نہیں ملا","settings.ide.language.auto":"خود کار طریقے سے پتہ لگائیں","settings.ide.language.autoOption":"خود کار طریقے سے پتہ لگائیں","settings.ide.language.description":"ایپ UI کے لیے زبان","settings.ide.language.label":"زبان","settings.ide.language.search":"زبانیں تلاش کریں","settings.layout.actionButton":"ایکسٹینشن دوبارہ شروع کریں","settings.layout.actionTitle":"کارروائی کے ساتھ ترتیبات","settings.layout.fullWidthTitle":"ترتیبات (مکمل چوڑائی)","settings.layout.title":"ترتیبات","settings.localEnvironments.actions.add":"کارروائی شامل کریں","settings.localEnvironments.actions.add.description":"ٹول بار سے چلانے کے لیے نیا کمانڈ بنائیں۔","settings.localEnvironments.actions.add.save":"محفوظ کریں","settings.localEnvironments.actions.empty":"مقامی ٹول بار سے کمانڈ چلانے کے لیے ایک کارروائی شامل کریں۔","settings.localEnvironments.actions.icon.debug":"ازالہ کریں","settings.localEnvironments.actions.icon.run":"چلائیں","settings.localEnvironments.actions.icon.test":"امتحان","settings.localEnvironments.actions.icon.tool":"ٹول","settings.localEnvironments.actions.item.button.delete":"حذف کریں","settings.localEnvironments.actions.item.command":"ایکشن اسکرپٹ","settings.localEnvironments.actions.item.name":"نام","settings.localEnvironments.actions.item.platforms":"پلیٹ فارمز","settings.localEnvironments.actions.item.platforms.help":"صرف ایک مخصوص OS پر چلائیں۔","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"پلیٹ فارم کا انتخاب","settings.localEnvironments.actions.item.platforms.specific":"مخصوص پلیٹ فارم","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"حذف کریں","settings.localEnvironments.actions.title":"کارروائیاں","settings.localEnvironments.breadcrumb.back":"واپس جائیں","settings.localEnvironments.breadcrumb.edit":"ترمیم کریں","settings.localEnvironments.breadcrumb.root":"ماحول /انوائرنمنٹ","settings.localEnvironments.environment.actions.description":"یہ اعمال کسی بھی کمانڈ کو چلا سکتے ہیں اور ہیڈر میں ظاہر ہوں گے۔","settings.localEnvironments.environment.actionsLabel":"کارروائیاں","settings.localEnvironments.environment.create":"مقامی ماحول بنائیں","settings.localEnvironments.environment.defaultName":"مقامی","settings.localEnvironments.environment.edit":"مقامی ماحول میں ترمیم کریں","settings.localEnvironments.environment.empty":"اس پروجیکٹ کے لیے ابھی تک کوئی مقامی ماحول ترتیب نہیں دیا گیا ہے۔","settings.localEnvironments.environment.name":"نام","settings.localEnvironments.environment.setup":"سیٹ اپ اسکرپٹ","settings.localEnvironments.environment.setup.description":"یہ اسکرپٹ ورک ٹری تخلیق پر چلے گا۔","settings.localEnvironments.environment.setup.hint":"پروجیکٹ کی جڑ میں چلتا ہے۔","settings.localEnvironments.environment.setup.platformOverrides":"پلیٹ فارم اوور رائیڈ کرتا ہے","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} سیٹ اپ اسکرپٹ شامل کریں","settings.localEnvironments.environment.setup.platformOverrides.description":"مخصوص OS کے لیے ڈیفالٹ اسکرپٹ کو اوور رائیڈ کرتا ہے۔","settings.localEnvironments.environment.setup.platformOverrides.remove":"ہٹائیں","settings.localEnvironments.environment.setup.script":"اسکرپٹ","settings.localEnvironments.environment.title":"ماحول کی تفصیلات","settings.localEnvironments.file.missing":"پہلی بار اس فائل کو بنانے کے لیے محفوظ کریں۔","settings.localEnvironments.file.parseError":"موجودہ فائل کو پارس کرنے سے قاصر۔ محفوظ کرنا اسے اوور رائٹ کر دے گا۔ ({error})","settings.localEnvironments.file.path":"فائل: {path}","settings.localEnvironments.file.readError":"مقامی ماحول کا ڈیٹا لوڈ کرنے میں ناکام۔ ({error})","settings.localEnvironments.file.title":"مقامی ماحول کی فائل","settings.localEnvironments.loading.body":"آپ کے پروجیکٹ کنفیگریشن کو لایا جا رہا ہے۔","settings.localEnvironments.loading.title":"مقامی ماحول لوڈ ہو رہا ہے","settings.localEnvironments.preview.devOnly":"(صرف DEV)","settings.localEnvironments.preview.save":"محفوظ کریں","settings.localEnvironments.preview.saveError":"فائل کو محفوظ کرنے میں ناکام۔ ({error})","settings.localEnvironments.preview.title":"پیش نظارہ","settings.localEnvironments.save.disabled.name":"محفوظ کرنے کے لیے ماحول کا نام شامل کریں۔","settings.localEnvironments.save.disabled.noChanges":"کوئی تبدیلی محفوظ کرنے کے قابل نہیں ہے۔","settings.localEnvironments.save.disabled.saving":"محفوظ کیا جارہا ہے...","settings.localEnvironments.save.success":"مقامی ماحول کو بچایا","settings.localEnvironments.unavailable.body":"ہم اس پروجیکٹ کے لیے مقامی ماحول کی ترتیبات کو لوڈ نہیں کر سکے۔","settings.localEnvironments.unavailable.title":"مقامی ماحول دستیاب نہیں ہے","settings.localEnvironments.workspace.add":"پراجیکٹ شامل کریں","settings.localEnvironments.workspace.title":"پراجیکٹ","settings.localEnvironments.workspaceSelect.addLabel":"ماحول شامل کریں","settings.localEnvironments.workspaceSelect.description":"مقامی ماحول کوڈیکس کو بتاتا ہے کہ کس طرح ایک پروجیکٹ کے لیے ورک ٹریز کو ترتیب دیا جائے۔ {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ابھی تک کوئی پروجیکٹ نہیں ہے۔ مقامی ماحول کو ترتیب دینے کے لیے ایک شامل کریں۔","settings.localEnvironments.workspaceSelect.errorLabel":"ماحولیات پر توجہ کی ضرورت ہے","settings.localEnvironments.workspaceSelect.learnMore":"مزید جانیں","settings.localEnvironments.workspaceSelect.listLabel":"دستیاب پراجیکٹس","settings.localEnvironments.workspaceSelect.loading":"پراجیکٹس کو لوڈ کیا جا رہا ہے۔","settings.localEnvironments.workspaceSelect.loadingLabel":"ماحول لوڈ کرنے میں خرابی تھی","settings.localEnvironments.workspaceSelect.title":"پراجیکٹ منتخب کریں","settings.localEnvironments.workspaceSelect.viewAction":"دیکھیں","settings.mcp.addServer":"سرور شامل کریں","settings.mcp.app.configure":"کنفیگر کریں","settings.mcp.app.connect":"جڑیں","settings.mcp.apps.refresh":"ریفریش کریں","settings.mcp.detail.addArgument":"دلیل شامل کریں","settings.mcp.detail.addEnvVar":"ماحولیاتی متغیر شامل کریں","settings.mcp.detail.addEnvVarPassthrough":"متغیر شامل کریں","settings.mcp.detail.args":"دلائل","settings.mcp.detail.back":"واپس جائیں","settings.mcp.detail.command":"لانچ کرنے کی کمانڈ","settings.mcp.detail.cwd":"ورکنگ ڈائریکٹری","settings.mcp.detail.docs":"MCP دستاویز کھولیں","settings.mcp.detail.docs.link":"دستاویزات","settings.mcp.detail.envVarPassthrough":"ماحولیاتی متغیر کی پاس تھرو","settings.mcp.detail.envVars":"ماحولیاتی متغیرات","settings.mcp.detail.http.addEnvHeader":"متغیر شامل کریں","settings.mcp.detail.http.addHeader":"ہیڈر شامل کریں","settings.mcp.detail.http.bearerToken":"بیئرر ٹوکن env var","settings.mcp.detail.http.envHeaders":"ماحولیاتی متغیرات سے ہیڈرز","settings.mcp.detail.http.headers":"ہیڈرز","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"نام","settings.mcp.detail.save":"محفوظ کریں","settings.mcp.detail.switchTransportNotice":"اگر آپ MCP سرور کی قسم کو تبدیل کرنا چاہتے ہیں، تو براہ کرم پہلے اَن انسٹال کریں۔","settings.mcp.detail.titleExisting":"{name} MCP کو اپ ڈیٹ کریں","settings.mcp.detail.titleNew":"اپنی مرضی کے MCP سے جڑیں","settings.mcp.detail.transport.http":"اسٹریم ایبل HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"انسٹالیشن ختم کریں","settings.mcp.empty":"کوئی حسبِ ضرورت MCP سرور منسلک نہیں","settings.mcp.myServers":"حسبِ ضرورت سرورز","settings.mcp.partnerServer.description.figma":"مکمل Figma سیاق و سباق میں لاکر بہتر کوڈ تیار کریں","settings.mcp.partnerServer.description.github":"ورک فلو کو خودکار کرنے اور ڈیٹا نکالنے کے لیے GitHub APIs کے ساتھ مربوط کریں","settings.mcp.partnerServer.description.linear":"Linear کے مسئلے سے باخبر رہنے اور پراجیکٹ مینجمنٹ کے ساتھ مربوط کریں","settings.mcp.partnerServer.description.notion":"دستاویزات پڑھیں، صفحات کو اپ ڈیٹ کریں، ٹاسکس کا نظم کریں","settings.mcp.partnerServer.description.playwright":"ڈیزائن کو نافذ کرنے اور UI کی جانچ کرنے کے لیے براؤزر آٹومیشن کو مربوط کریں۔","settings.mcp.partnerServer.install":"انسٹال کریں","settings.mcp.partnerServer.installAndAuthenticate":"انسٹال کریں اور تصدیق کریں","settings.mcp.partnerServer.logoAlt":"{label} لوگو","settings.mcp.partnerServer.manage":"نظم کریں","settings.mcp.partnerServer.vendor":"{vendor} کی جانب سے","settings.mcp.recommendedServers":"تجویز کردہ سرورز","settings.mcp.restartApp":"دوبارہ شروع کریں","settings.mcp.restartExtension":"ایکسٹینشن دوبارہ شروع کریں","settings.mcp.server.enable":"فعال کریں","settings.mcp.server.login":"تصدیق کریں","settings.mcp.server.settings":"ترتیبات","settings.multiselect.createOption":'"{value}" بنائیں',"settings.multiselect.removeOption":"ہٹائیں","settings.nav.account":"اکاوٴنٹ","settings.nav.agent":"ترتیب","settings.nav.ariaLabel":"ترتیبات","settings.nav.back":"واپس ایپ میں جائیں","settings.nav.data-controls":"آرکائیو شدہ تھریڈز","settings.nav.environments":"کلاؤڈ ماحول","settings.nav.externalTooltip":"[الفا] براؤزر میں کھولیں","settings.nav.general-settings":"عمومی","settings.nav.git-settings":"Git","settings.nav.local-environments":"ماحول /انوائرنمنٹ","settings.nav.mcp-settings":"MCP servers","settings.nav.notImplemented":"[الفا] الفا میں دستیاب نہیں ہے","settings.nav.personalization":"ذاتی نوعیت کا بنانا","settings.nav.skills-settings":"مہارتیں","settings.nav.usage-analytics":"استعمال اور تجزیات","settings.nav.worktrees":"ورک ٹریز","settings.openSourceLicenses.back":"واپس جائیں","settings.openSourceLicenses.loading":"لوڈ ہو رہی ہے…","settings.openSourceLicenses.missing":"فریق ثالث کے کوئی نوٹس نہیں ملے۔","settings.openSourceLicenses.notSupported":"اس ہوسٹ میں دستیاب نہیں ہے۔","settings.openSourceLicenses.rowDescription":"بنڈل انحصار کے لیے فریق ثالث کے نوٹس","settings.openSourceLicenses.rowLabel":"اوپن سورس لائسنسز","settings.openSourceLicenses.subtitle":"اس ایپ میں شامل انحصار کے لیے فریق ثالث کے نوٹسز","settings.openSourceLicenses.title":"اوپن سورس لائسنسز","settings.openSourceLicenses.view":"دیکھیں","settings.personalization.agents.description":"ان ہدایات میں ترمیم کریں جو آپ کے لیے Codex کو تیار کرتی ہیں۔ {learnMore}","settings.personalization.agents.learnMore":"مزید جانیں","settings.personalization.agents.loadError":"agents.md لوڈ کرنے سے قاصر۔","settings.personalization.agents.loading":"agents.md لوڈ ہو رہا ہے…","settings.personalization.agents.placeholder":"اپنی حسب ضرورت ہدایات شامل کریں…","settings.personalization.agents.retry":"دوبارہ کوشش کریں","settings.personalization.agents.save":"محفوظ کریں","settings.personalization.agents.save.error":"agents.md کو محفوظ میں ناکام","settings.personalization.agents.save.success":"محفوظ شدہ agents.md","settings.personalization.agents.title":"حسب ضرورت ہدایات","settings.personalization.personality.description":"Codex کے جوابات کے لیے ڈیفالٹ ٹون منتخب کریں","settings.personalization.personality.label":"شخصیت","settings.sample.contentBody":"مستقل اسپیسنگ کے ساتھ اپنے سیٹنگ پینلز کو ترتیب دینے کے لیے اس لے آؤٹ کا استعمال کریں۔","settings.sample.contentTitle":"نمونہ مواد بلاک","settings.section.account":"اکاوٴنٹ","settings.section.agent":"ترتیب","settings.section.data-controls":"آرکائیو شدہ تھریڈز","settings.section.environments":"کلاؤڈ ماحول","settings.section.external":"Alpha کے دوران آپ کے براؤزر میں کھلتا ہے","settings.section.general-settings":"عمومی","settings.section.git-settings":"Git","settings.section.local-environments":"ماحول /انوائرنمنٹ","settings.section.mcp-settings":"MCP servers","settings.section.mcp-settings.docs":"دستاویزات","settings.section.mcp-settings.subtitle":"بیرونی ٹولز اور ڈیٹا کے ذرائع منسلک کریں۔","settings.section.personalization":"ذاتی نوعیت کا بنانا","settings.section.skills-settings":"مہارتیں","settings.section.unavailable":"Alpha میں دستیاب نہیں ہے","settings.section.usage-analytics":"استعمال اور تجزیات","settings.section.worktrees":"ورک ٹریز","settings.threadDetail.description":"منتخب کریں کہ تھریڈز میں کتنی کمانڈ آؤٹ پٹ دکھانی ہے","settings.threadDetail.label":"تھریڈ کی تفصیل","settings.worktrees.conversation.untitled":"بلا عنوان گفتگو","settings.worktrees.delete.error":"ورک ٹری کو حذف کرنے میں ناکام","settings.worktrees.empty.body":"Codex کے ذریعہ تیار کردہ ورک ٹریز یہاں ظاہر ہوں گے۔","settings.worktrees.empty.title":"ابھی تک کوئی ورک ٹری نہیں ہے","settings.worktrees.error.body":"ورک ٹریز لوڈ کرتے وقت کچھ غلط ہو گیا۔","settings.worktrees.error.retry":"دوبارہ کوشش کریں","settings.worktrees.error.title":"ورک ٹریز لوڈ کرنے سے قاصر","settings.worktrees.loading.body":"ورک ٹری کی تفصیلات حاصل کی جا رہی ہیں۔","settings.worktrees.loading.title":"ورک ٹریز لوڈ ہو رہا ہے","settings.worktrees.repository.loading":"ریپوزٹری میٹا ڈیٹا لوڈ ہو رہا ہے…","settings.worktrees.repository.unknown":"نامعلوم ریپوزیٹری","settings.worktrees.row.conversations":"گفتگوئیں","settings.worktrees.row.conversations.empty":"اس ورک ٹری سے کوئی بات چیت منسلک نہیں ہے۔","settings.worktrees.row.conversations.loading":"گفتگو لوڈ ہو رہی ہیں…","settings.worktrees.row.delete":"حذف کریں","settings.worktrees.row.title":"ورک ٹری","sidebarElectron.addWorkspaceRoot":"نیا پراجیکٹ شامل کریں","sidebarElectron.archiveThread":"تھریڈ کو آرکائیو کریں","sidebarElectron.archiveThreadError":"تھریڈ آرکائیو نہیں کیا جا سکا","sidebarElectron.collapseFolder":"فولڈر کو سمیٹیں","sidebarElectron.createStableWorktree.dialog.cancel":"منسوخ کریں","sidebarElectron.createStableWorktree.dialog.create":"بنائیں","sidebarElectron.debugNavLink":"ازالہ کریں","sidebarElectron.editWorkspaceRootOptionName":"نام میں ترمیم کریں","sidebarElectron.expandFolder":"فولڈر کو پھیلائیں","sidebarElectron.groupByMenu.recency":"تاریخ کی فہرست","sidebarElectron.groupByMenu.title":"منظم کریں","sidebarElectron.groupByMenu.workspace":"پراجیکٹ کے ذریعے","sidebarElectron.inboxRouteNavLink":"آٹومیشنز","sidebarElectron.markThreadUnread":"غیر مطالعہ شدہ کے طور پر نشان لگائیں","sidebarElectron.missingWorkspaceRoot":"اس پراجیکٹ فولڈر کو حذف یا منتقل کردیا گیا تھا","sidebarElectron.newThread":"نئی سیریز","sidebarElectron.newThreadInGroup":"{folder} میں نیا تھریڈ شروع کریں","sidebarElectron.noRecentThreads":"کوئی حالیہ تھریڈز نہیں","sidebarElectron.noTasks":"تھریڈز نہیں","sidebarElectron.noTasks.start":"نیا پراجیکٹ شامل کریں","sidebarElectron.noTasksWithFilter":"کوئی تھریڈ فلٹرز سے مماثل نہیں ہے","sidebarElectron.pinnedThreads":"پن کیے ہوئے تھریڈز","sidebarElectron.recentNavLink":"Threads","sidebarElectron.recentThreads":"حالیہ تھریڈز","sidebarElectron.removeWorkspaceRootOption":"ہٹائیں","sidebarElectron.renameThread":"تھریڈ کا نام تبدیل کریں","sidebarElectron.renameThreadDialogAriaLabel":"تھریڈ کا عنوان","sidebarElectron.renameThreadDialogCancel":"منسوخ کریں","sidebarElectron.renameThreadDialogPlaceholder":"ایک عنوان شامل کریں…","sidebarElectron.renameThreadDialogSave":"محفوظ کریں","sidebarElectron.renameThreadDialogSubtitle":"اسے مختصر اور قابل شناخت رکھیں۔","sidebarElectron.renameThreadDialogTitle":"تھریڈ کا نام تبدیل کریں","sidebarElectron.renameThreadError":"تھریڈ کا نام تبدیل کرنے میں ناکامی","sidebarElectron.renameWorkspaceRootOptionLabel":"ڈسپلے نام","sidebarElectron.showLess":"کم دکھائیں","sidebarElectron.showMenu.all":"تمام تھریڈز","sidebarElectron.showMenu.relevant":"متعلقہ","sidebarElectron.showMenu.relevantHint":"صرف موجودہ برانچ، ورک ٹریز، یا دیگر تھریڈز دکھائیں جن پر آپ کی توجہ درکار ہے۔","sidebarElectron.showMenu.title":"دکھائیں","sidebarElectron.showMenu.tooltip":"تھریڈز کو فلٹر کریں، ترتیب دیں اور منظم کریں","sidebarElectron.showMenu.trigger":"سائڈبار تھریڈز کو فلٹر کریں۔","sidebarElectron.showMore":"زیادہ دکھائیں","sidebarElectron.skillsRouteNavLink":"مہارتیں","sidebarElectron.sortMenu.created":"بن گیا ہے","sidebarElectron.sortMenu.title":"کے حساب سے ترتیب دیں","sidebarElectron.sortMenu.updated":"اپ ڈیٹ شدہ","sidebarElectron.taskNavigation":"آٹومیشن فولڈرز","sidebarElectron.tasksInFolder":"{folder} میں آٹومیشنز","sidebarElectron.workspaceOptions":"{folder} کے لیے پراجیکٹ کی کارروائیاں","sidebarElectron.worktreeGroupTooltip":"یہ ایک گٹ ورک ٹری ہے","skills.appsPage.createSkill":"نئی مہارت","skills.appsPage.empty.skills":"کوئی مہارت نہیں ملی","skills.appsPage.search.skills":"مہارتیں تلاش کریں","skills.appsPage.search.skills.label":"مہارتیں تلاش کریں","skills.appsPage.section.installedApps":"انسٹال ہوگیا","skills.appsPage.section.skills":"مہارتیں","skills.appsPage.subheading":"Codex کو سپر پاورز دیں۔<link>مزید جانیں</link>","skills.appsPage.tab.recommended":"تجویز کردہ","skills.appsPage.tab.skills":"مہارتیں","skills.card.contentsError":"مہارت کے مواد کو لوڈ نہیں کیا جا سکا۔","skills.card.disable":"غیر فعال کریں","skills.card.disableSuccess":"{skillName}اسکل غیر فعال ہے","skills.card.disabledBadge":"غیر فعال کردیا گیا","skills.card.enable":"فعال کریں","skills.card.enableSuccess":"{skillName}اسکل فعال ہے","skills.card.loadingContents":"مہارت کا مواد لوڈ ہو رہا ہے...","skills.card.more":"مزید کارروائیاں","skills.card.open":"کھولیں","skills.card.removeFailed":"مہارت کو اَن انسٹال کرنے میں ناکام","skills.card.removeSuccess":"{skillName}اسکل ان انسٹال شدہ ہے","skills.card.toggleEnabledError":"مہارت کو اپ ڈیٹ کرنے میں ناکام","skills.card.try":"آزمائیں","skills.card.trySkill":"مہارت آزمائیں","skills.card.uninstall":"انسٹالیشن ختم کریں","skills.hero.dotLabel":"سلائیڈ{index} پر جائیں","skills.hero.next":"اگلا نمایاں مہارت","skills.hero.trySkill":"مہارت آزمائیں","skills.page.createSkill":"نئی مہارت","skills.page.empty":"کوئی مہارت نہیں ملی","skills.page.filteredEmpty":"آپ کے فلٹرز سے کوئی مہارت مطابقت نہیں رکھتی","skills.page.filteredEmptyDescription":"اپنی تلاش یا دائرہ کار کے فلٹرز کو ایڈجسٹ کرنے کی کوشش کریں","skills.page.heading":"مہارتیں","skills.page.loading":"مہارتیں لوڈ ہو رہی ہیں...","skills.page.refreshSkills":"ریفریش کریں","skills.page.refreshSkillsToUseNew":"نئی اسکل استعمال کرنے کے لیے ریفریش کریں","skills.page.search":"مہارتیں تلاش کریں","skills.page.search.label":"مہارتیں تلاش کریں","skills.page.subheading":"Codex کو سپر پاورز دیں۔<link>مزید جانیں</link>","skills.preview.copyPrompt":"Prompt کاپی کریں","skills.preview.examplePrompt":"مثال کا پرامپٹ","skills.recommended.error":"تجویز کردہ مہارتیں لوڈ کرنے سے قاصر","skills.recommended.install":"انسٹال کریں","skills.recommended.installSkill":"اسکل انسٹال کریں","skills.recommended.installSuccess":"{skillName}اسکل انسٹال شدہ ہے","skills.recommended.installed":"انسٹال ہوگیا","skills.scope.admin":"ایڈمن","skills.scope.adminInstalled":"ایڈمن انسٹال ہو گیا","skills.scope.builtIn":"سسٹم","skills.scope.personal":"ذاتی","skills.scope.repo":"ریپازٹری","skills.scope.system":"سسٹم","skills.scope.team":"ٹیم","skills.scope.user":"صارف","skills.section.installed":"انسٹال ہوگیا","skills.section.recommended":"تجویز کردہ","story.slidingToggle.existing":"موجودہ","story.slidingToggle.fromLocal":"لوکل سے","story.slidingToggle.new":"نیا","story.slidingToggle.toLocal":"لوکل کو","terminal.close":"ٹرمینل بند کریں","terminal.title":"ٹرمنل","thinkingShimmer.default":"سوچ رہا ہے","threadEnvIcon.cloudTooltip":"یہ گفتگو Codex Cloud میں چل رہی ہے۔","threadEnvIcon.localTooltip":"یہ گفتگو مقامی طور پر چل رہی ہے۔","threadEnvIcon.worktreeTooltip":"یہ گفتگو مقامی git ورک ٹری میں چل رہی ہے۔","threadHeader.archiveConfirmCancel":"منسوخ کریں","threadHeader.archiveConfirmConfirm":"آرکائیو کریں","threadHeader.copySessionId":"سیشن کی آئی ڈی کاپی کریں","threadHeader.copyWorkingDirectory":"ورکنگ ڈائرکٹری کاپی کریں","threadHeader.forkIntoLocal":"اسے لوکل میں فورک کریں","threadHeader.forkIntoWorktree":"نئے ورک ٹری میں فورک کریں","threadHeader.forkPendingWorktreePrompt":"اس گفتگو کو نئے ورک ٹری میں فورک کریں۔","threadHeader.forkPendingWorktreeTitle":"فورک شدہ گفتگو","threadHeader.forkThreadError":"تھریڈ کو فورک کرنے میں ناکامی","threadHeader.forkThreadRequiresGitRepo":"نئے ورک ٹری میں فورک کرنے کے لیے git ریپوزٹری کی ضرورت ہے","threadHeader.moreActions":"تھریڈ ایکشنز","threadPage.newThread":"نئی سیریز","threadPage.runAction.changeEnvironment":"ماحول کو تبدیل کریں","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} کارروائیاں","threadPage.runAction.environmentSelector.label":"ماحول کا انتخاب کریں","threadPage.runAction.label":"چلائیں","threadPage.runAction.missing.label":"رن ایکشن ترتیب دیں","threadPage.runAction.setup.commandLabel":"چلانے کا حکم","threadPage.runAction.setup.description":"Codex کو بتائیں کہ انحصار کیسے انسٹال کیا جائے اور اپنی ایپ کیسے شروع کی جائے۔","threadPage.runAction.setup.editMore":"ماحول کی ترتیبات","threadPage.runAction.setup.placeholder":"مثال کے طور پر: npm install npm run","threadPage.runAction.setup.submit":"محفوظ کریں اور چلائیں","threadPage.runAction.setup.title":"چلائیں","threadPage.runAction.tooltip.withEnvironment":"{environmentName} کارروائیاں","threadPage.toggleDiffPanel":"فرق کے پینل کو ٹوگل کریں","threadPage.toggleTerminal":"ٹرمنل کو ٹوگل کریں","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"فولڈر کھولیں","toolSummaryForCmd.exploredFiles":"<verb>فہرست </verb>شدہ فائلیں","toolSummaryForCmd.exploredFilesInPath":"فائلیں {path} میں <verb>درج</verb> ہیں","toolSummaryForCmd.exploringFiles":"فائلوں <verb>کی فہرست</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} میں فائلوں کی <verb>فہرست</verb>","toolSummaryForCmd.ranGenericCommand":"<status> رن کمانڈ </status>{timer}","toolSummaryForCmd.ranSpecificCommand":"{command}{timer} کو <status>چلایا گیا</status>","toolSummaryForCmd.read":"{path} <verb>پڑھیں</verb>","toolSummaryForCmd.runningGenericCommand":"<status>رننگ کمانڈ</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} کے لیے","toolSummaryForCmd.searchedFor":"{query} کے لیے <verb>تلاش کیا گیا</verb>","toolSummaryForCmd.searchedForFiles":"فائلوں کے لیے <verb>تلاش کیا گیا</verb>","toolSummaryForCmd.searchedForInPath":"{path} میں {query} کے لیے <verb>تلاش</verb> کیا گیا","toolSummaryForCmd.searchingFor":"{query} کو <verb>تلاش</verb> کیا جا رہا ہے","toolSummaryForCmd.searchingForFiles":"فائلوں کو <verb>تلاش کیا جا رہا ہے</verb>","toolSummaryForCmd.searchingForInPath":"{path} میں {query} کو <verb>تلاش کیا جا رہا ہے</verb>","traceRecording.startDetails.cancel":"منسوخ کریں","wham.diff.addComment":"تبصرہ شامل کریں","wham.diff.binaryFile":"بائنری فائل ظاہر نہیں کی گئی","wham.diff.noContent":"کوئی مواد نہیں","wham.fileTag.deleted":"حذف کردیا گیا","wham.fileTag.new":"نیا","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}مہینہ","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}ہفتہ","wham.formattedRelativeDateTime.compactYearsAgo":"{value}سال","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"آپ کے ٹاسک پر کام کیا جا رہا ہے","wham.whamProposedTask.title":"تجویز کردہ ٹاسک","wham.whamProposedTask.useSuggestion":"تجویز استعمال کریں","workspaceRootDialog.addError":"پراجیکٹ شامل کرنے میں ناکام","workspaceRootDialog.cancel":"منسوخ کریں","workspaceRootDialog.confirmAdd":"پراجیکٹ شامل کریں","workspaceRootDialog.confirmPick":"پراجیکٹ کا استعمال کریں","workspaceRootDialog.description":"پراجیکٹ کے طور پر استعمال کرنے کے لیے {host} پر ایک راستہ درج کریں۔","workspaceRootDialog.pathLabel":"پراجیکٹ کا راستہ","workspaceRootDialog.pathPlaceholder":"/گھر/آپ/پروجیکٹ","workspaceRootDialog.title.add":"پراجیکٹ کا راستہ شامل کریں","workspaceRootDialog.title.pick":"پراجیکٹ کا راستہ منتخب کریں","worktreeInitV2.cancel":"منسوخ کریں","worktreeInitV2.notification.failedTitle":"ورک ٹری سیٹ اپ ناکام ہو گیا۔","worktreeInitV2.output.empty":"آؤٹ پٹ کا انتظار کر رہا ہے...","worktreeInitV2.status.error":"ورک ٹری سیٹ اپ ناکام ہو گیا۔","worktreeInitV2.status.running":"ورک ٹری بنانا اور سیٹ اپ چلانا۔","worktreeInitV2.status.runningFork":"اس گفتگو کو فورک کرنے کے لیے ورک ٹری بنایا جا رہا ہے۔","worktreeInitV2.status.success":"ورک ٹری تیار ہے۔","worktreeInitV2.title":"ورک ٹری بنایا جا رہا ہے","worktreeInitV2.workLocallyInstead":"مقامی طور پر کام کریں","worktreeRestoreBanner.body":"اس تھریڈ کی ورک ٹری کو ڈسک کی جگہ بچانے کے لیے ہٹا دیا گیا تھا۔","worktreeRestoreBanner.missing.body":"اس تھریڈ کی ورکنگ ڈائرکٹری اب موجود نہیں ہے","worktreeRestoreBanner.missing.title":"موجودہ ورکنگ ڈائرکٹری غائب ہے","worktreeRestoreBanner.restore.error":"ورک ٹری کو بحال کرنے میں ناکامی: {message}","worktreeRestoreBanner.restore.success":"ورک ٹری بحال ہو گیا","worktreeRestoreBanner.restoreCta":"ورک ٹری کو بحال کریں","worktreeRestoreBanner.title":"ورک ٹری صاف ہو گیا"};export{e as default};
+const e={"CopyButton.copyTooltip":"کاپی کریں","app.sidebar.hide":"سائیڈ بار چھپائیں","app.sidebar.show":"سائیڈ بار دکھائیں","app.sidebar.tooltip":"ٹوگل سائیڈ بار","appHeader.installUpdate":"اپ ڈیٹ کریں","appSunset.body":"ایپ کا یہ ورژن مزید تعاون یافتہ نہیں ہے۔ براہ کرم <here>یہاں</here> سے تازہ ترین ورژن ڈاؤن لوڈ کریں۔","appSunset.title":"اپ ڈیٹ درکار ہے","automation.updateDirective.create":"بنائیں","automation.updateDirective.open":"کھولیں","automation.updateDirective.untitled":"بلا عنوان آٹومیشن","automation.updateDirective.update":"اپ ڈیٹ کریں","bestOfNIcon.attemptsTooltip":"{attempts, plural, one {# کوشش} other {# کوششیں}}","cloudTaskRow.archiveError":"ٹاسک آرکائیو نہیں کیا جا سکا","code.diff.requestChange":"تبدیلی کی درخواست کریں","code.diffComment.cancel":"منسوخ کریں","code.diffComment.comment":"تبصرہ کریں","code.diffComment.delete":"حذف کریں","code.diffComment.save":"محفوظ کریں","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"کوئی نتائج رپورٹ نہیں کیے گئے۔","codex.alert.closeAriaLabel":"بند کریں","codex.appUpsellBanner.cbpApi.message":"Codex ایپ کے ساتھ تیزی سے تعمیر کریں۔ ابھی ڈاؤن لوڈ کریں یا {learnMoreLink}۔","codex.appUpsellBanner.download":"ڈاوٴن لوڈ کریں","codex.appUpsellBanner.freeGo.message":"کوڈیکس آپ کے پلان میں 2 مارچ تک شامل ہے۔ تیزی سے بنانے کے لیے Codex ایپ کو آزمائیں۔","codex.appUpsellBanner.later":"بعد میں","codex.appUpsellBanner.learnMoreLowercase":"مزید جانیں","codex.appUpsellBanner.new":"نیا","codex.appUpsellBanner.proPlusBusiness.message":"2 اپریل تک 2x شرح کی حد کے ساتھ Codex ایپ کو آزمائیں۔ ابھی ڈاؤن لوڈ کریں یا {learnMoreLink}۔","codex.appUpsellBanner.title":"Codex ایپ","codex.applyDropdown.header.changes":"تبدیلیاں","codex.applyDropdown.header.fileCount":"{count, plural, one {# فائل} other {# فائلیں}}","codex.applyDropdown.header.rows":"قطاریں","codex.applyDropdown.header.title":"تبدیلیاں لاگو کریں","codex.applyDropdown.header.workspace":"پراجیکٹ","codex.applyDropdown.results.conflicted":"{count, plural, one {1 فائل متصادم ہوا ہے:} other {{count} فائلیں متصادم ہوئے ہیں:}}","codex.applyDropdown.results.empty":"کسی فائل کو کاپی نہیں کیا گیا","codex.applyDropdown.results.skipped":"{count, plural, one {1 فائل کو نظر انداز کر دیا گیا:} other {{count} فائلوں کو نظر انداز کر دیا گیا:}}","codex.applyOrRevertBanner.apply":"اطلاق کریں","codex.applyOrRevertBanner.applyMessage":"تبدیلیوں کا اطلاق کریں اور مقامی طور پر جاری رکھیں؟","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"یہ ٹاسک {environment} میں بنایا گیا تھا، اس لیے اس کا صاف طور پر اطلاق نہیں ہوسکتا۔","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"{environment} میں تبدیلیاں کی گئی ہیں، اس لیے صاف طور پر اطلاق نہیں ہوسکتا۔","codex.applyOrRevertBanner.reapply":"دوبارہ اطلاق کریں","codex.applyOrRevertBanner.revert":"واپس آئیں","codex.applyOrRevertBanner.revertMessage":"اطلاق کردہ تبدیلیاں واپس لیں؟","codex.applyResultsDialog.applied":"صاف طور پر اطلاق کردہ ({count})","codex.applyResultsDialog.close":"بند کریں","codex.applyResultsDialog.conflicted":"متضاد ({count})","codex.applyResultsDialog.noDetails":"فائل کی تفصیلات دستیاب نہیں۔","codex.applyResultsDialog.skipped":"چھوڑ دیا ({count})","codex.applyResultsDialog.title":"نتائج کا اطلاق کریں","codex.archiveInfo":"{dataControlsLink}آرکائیو شدہ چیٹس دیکھیں","codex.archiveInfo.dataControlsLink":"ڈیٹا کنٹرولز","codex.archiveInfo.electron":"{settingsLink} میں آرکائیو شدہ چیٹس دیکھیں","codex.archiveInfo.extension":"اپنے .codex فولڈر میں محفوظ شدہ چیٹس دیکھیں۔","codex.archiveInfo.settingsLink":"ترتیبات","codex.banner.content.description":"ٹاسکس کو متوازی طور پر چلائیں، کہیں بھی پیشرفت کو ٹریک کریں، اور AI کے ساتھ PRs کا جائزہ لیں۔","codex.banner.content.headline":"Codex یہ سب کرتا ہے۔","codex.cloudTaskRow.archiveTask":"چیٹ آرکائیو کریں","codex.cloudTaskRow.confirmArchiveTask":"تصدیق کریں","codex.command.feedback":"رائے","codex.command.findInThread":"ڈھونڈیں","codex.command.forceReloadSkills":"مہارت کو دوبارہ لوڈ کریں","codex.command.logOut":"لاگ آوٴٹ کریں","codex.command.manageTasks":"ٹاسکس کا نظم کریں","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"واپس جائیں","codex.command.navigateForward":"آگے بڑھیں","codex.command.newThread":"نئی سیریز","codex.command.nextThread":"اگلا تھریڈ","codex.command.openFolder":"فولڈر کھولیں","codex.command.openSkills":"مہارت پر جائیں","codex.command.openThreadOverlay":"پاپ آؤٹ تھریڈ","codex.command.personalitySettings":"شخصیت","codex.command.previousThread":"گزشتہ تھریڈ","codex.command.settings":"ترتیبات","codex.command.toggleDiffPanel":"فرق کے پینل کو ٹوگل کریں","codex.command.toggleSidebar":"ٹوگل سائیڈ بار","codex.command.toggleTerminal":"ٹرمنل کو ٹوگل کریں","codex.commandGroup.app":"ایپ","codex.commandGroup.configure":"کنفیگر کریں","codex.commandGroup.navigation":"نیویگیشن","codex.commandGroup.panels":"پینلز","codex.commandGroup.skills":"مہارتیں","codex.commandGroup.thread":"تھریڈ","codex.commandGroup.workspace":"پراجیکٹ","codex.commandMenu.noResults":"کوئی مماثل نہیں","codex.commandMenu.searchPlaceholder":"سرچ کمانڈز","codex.commandMenu.suggestedGroup":"تجویز کردہ","codex.commandMenu.switchWorkspace":"پروجیکٹ سوئچ کریں","codex.commandMenu.title":"کمانڈ مینو","codex.common.retry":"دوبارہ کوشش کریں","codex.composer.searchBranches":"برانچز تلاش کریں","codex.dialog.basic.body":"یہ Radix Dialog کے حوالے سے ہمارے ریپر کا استعمال کرتے ہوئے ایک سادہ موڈل ڈائیلاگ ہے۔","codex.dialog.basic.cancel":"منسوخ کریں","codex.dialog.basic.confirm":"تصدیق کریں","codex.dialog.basic.open":"ڈائیلاگ کھولیں","codex.dialog.basic.title":"نمونہ ڈائیلاگ","codex.dialog.long.close":"بند کریں","codex.dialog.long.line":"ڈائیلاگ کے اندر طویل مواد کو ظاہر کرنے کے لیے اسکرول کے قابل لائن {index}۔","codex.dialog.long.open":"طویل ڈائیلاگ کھولیں","codex.dialog.long.title":"طویل مواد کا ڈائیلاگ","codex.dialog.unstyled.body":"یہ کہانی دکھاتی ہے کہ کالرز کس طرح ڈائیلاگ کے مواد کی اسٹائلنگ پر مکمل کنٹرول حاصل کر سکتے ہیں۔","codex.dialog.unstyled.open":"بغیر اسٹائل کے ڈائیلاگ کھولیں","codex.dialog.unstyled.title":"بغیر اسٹائل کے مواد","codex.diff.openInEditorPrompt.openButton":"ایڈیٹر میں کھولیں","codex.diff.openInEditorPrompt.singleLine":"یہ فائل یہاں ڈسپلے کرنے کے لیے بہت بڑی ہے۔","codex.diffView.failedToDecodeBase64Diff":"base64 diff کو ڈی کوڈ کرنے میں ناکامی","codex.diffView.filesChanged":"{fileCount, plural, one {# فائل تبدیل ہوگئی} other {# فائلیں تبدیل ہوگئیں}}","codex.diffView.imagePreviewAlt":"تصویر کا پیش نظارہ","codex.diffView.imagePreviewEmpty":"کوئی تصویر نہیں","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"کوئی مختلف ڈیٹا نہیں ہے","codex.diffView.pdfPreview.nextPage":"اگلا صفحہ","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"پچھلا صفحہ","codex.diffView.pdfPreviewEmpty":"کوئی PDF پیش نظارہ نہیں","codex.diffView.pdfPreviewError":"PDF پیش نظارہ پیش کرنے سے قاصر","codex.diffView.richPreviewDisable":"رچ پیش نظارہ غیر فعال کریں","codex.diffView.richPreviewEnable":"رچ پیش نظارہ فعال کریں","codex.diffView.richPreviewLoading":"پیش نظارہ لوڈ کیا جا رہا ہے...","codex.diffView.richPreviewToggle":"پیش نظارہ کو ٹوگل کریں","codex.diffView.switchToUnified":"یکجا فرق پر سوئچ کریں","codex.environmentSelector.noEnvironment":"کوئی ماحول نہیں","codex.environments.environmentSettings":"ماحول کی ترتیبات","codex.environments.learnMore":"مزید جانیں","codex.environments.listError":"ماحول لوڈ نہیں کیا جا سکا۔","codex.environments.noEnvironmentsFound":"کوئی ماحول نہیں ملا","codex.environments.searchError":"ماحول تلاش کرنے میں ناکامی ہوئی۔","codex.errorBoundary.genericError":"افوہ، ایک خرابی پیش آگئی ہے!","codex.errorBoundary.goHome":"دوبارہ کوشش کریں","codex.file.patch.missing":"اس فائل کے لیے پیچ بنایا نہیں جا سکتا۔","codex.gallery.automations.cwdLabel":"پراجیکٹس/منصوبے","codex.gallery.automations.nameLabel":"نام","codex.gallery.automations.namePlaceholder":"کسی کام کا خلاصہ کریں","codex.gallery.automations.promptLabel":"پرامپٹ","codex.gallery.automations.promptPlaceholder":"بیان کریں کہ Codex کو کیا کرنا چاہیے","codex.gallery.dialogs.automation.label":"آٹومیشن ڈائیلاگ","codex.gallery.dialogs.basic.body":"اس ترتیب کو براہ راست تصدیق یا مختصر شکلوں کے لیے استعمال کریں۔","codex.gallery.dialogs.basic.cancel":"منسوخ کریں","codex.gallery.dialogs.basic.confirm":"تصدیق کریں","codex.gallery.dialogs.basic.label":"بنیادی ڈائیلاگ","codex.gallery.dialogs.basic.title":"نمونہ ڈائیلاگ","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"مسئلے کی وضاحت کریں","codex.gallery.dialogs.feedbackSubmission.bad":"برا نتیجہ","codex.gallery.dialogs.feedbackSubmission.bug":"بگ","codex.gallery.dialogs.feedbackSubmission.good":"اچھا نتیجہ","codex.gallery.dialogs.feedbackSubmission.includeLogs":"موجودہ Codex سیشن لاگز شامل کریں","codex.gallery.dialogs.feedbackSubmission.label":"رائے جمع کروا دی گئی","codex.gallery.dialogs.feedbackSubmission.other":"دیگر","codex.gallery.dialogs.feedbackSubmission.placeholder":"مسئلے کی یہاں وضاحت کریں","codex.gallery.dialogs.feedbackSubmission.submit":"جمع کرائیں","codex.gallery.dialogs.feedbackSubmission.title":"رائے","codex.gallery.dialogs.feedbackSuccess.body":"فیڈبیک اپ لوڈ ہو گئے۔ اگر مسئلہ برقرار رہتا ہے تو، براہ کرم ایک GitHub مسئلہ کھولیں یا موجودہ کھلے مسئلے میں تھریڈ آئی ڈی کا ذکر کریں:","codex.gallery.dialogs.feedbackSuccess.dismiss":"چھوڑ دیں","codex.gallery.dialogs.feedbackSuccess.label":"فیڈبیک کامیابی","codex.gallery.dialogs.feedbackSuccess.title":"فیڈبیک اپ لوڈ ہو گیا","codex.gallery.dialogs.gitApplyResults.applied":"صاف طور پر اطلاق کردہ (2)","codex.gallery.dialogs.gitApplyResults.close":"بند کریں","codex.gallery.dialogs.gitApplyResults.conflicted":"متضاد (1)","codex.gallery.dialogs.gitApplyResults.label":"نتائج کا اطلاق کریں","codex.gallery.dialogs.gitApplyResults.title":"نتائج کا اطلاق کریں","codex.gallery.dialogs.gitPushError.body":"اگر آپ جانتے ہیں کہ ریموٹ ہسٹری کو اوور رائٹ کرنا محفوظ ہے تو تازہ ترین تبدیلیوں کو کھینچیں یا زبردستی پش کریں۔","codex.gallery.dialogs.gitPushError.cancel":"منسوخ کریں","codex.gallery.dialogs.gitPushError.force":"زبردستی پش","codex.gallery.dialogs.gitPushError.label":"پش ایرر","codex.gallery.dialogs.gitPushError.subtitle":"آپ کی شاخ اصل/مین کے پیچھے ہے۔","codex.gallery.dialogs.gitPushError.title":"تبدیلیاں پُش کرنے میں ناکامی","codex.gallery.dialogs.gitRevert.cancel":"منسوخ کریں","codex.gallery.dialogs.gitRevert.confirm":"واپس آئیں","codex.gallery.dialogs.gitRevert.label":"تبدیلیاں رد کریں","codex.gallery.dialogs.gitRevert.skip":"دوبارہ نہ پوچھیں","codex.gallery.dialogs.gitRevert.subtitle":"یہ کارروائی ان تمام تبدیلیوں کو مٹا دیتی ہے۔","codex.gallery.dialogs.gitRevert.title":"تبدیلیاں رد کریں؟","codex.gallery.dialogs.longForm.label":"لمبا فارم ڈائیلاگ","codex.gallery.dialogs.proseModal.body":"یہ موڈل اسٹائل طویل ہدایات، آن بورڈنگ، یا بھرپور مواد بلاکس کے لیے استعمال ہوتا ہے۔","codex.gallery.dialogs.proseModal.close":"بند کریں","codex.gallery.dialogs.proseModal.subtitle":"طویل فارم رہنمائی یا دستاویزات یہاں شیئر کریں۔","codex.gallery.dialogs.proseModal.title":"نثر کا ماڈل","codex.gallery.dialogs.submitBlocked.label":"جمع کروانا بلاک کیا گیا ہے","codex.gallery.dialogs.submitBlocked.message":"آپ کا پیغام بھیجا نہیں جا سکا کیونکہ پروجیکٹ دستیاب نہیں ہے۔","codex.gallery.dialogs.submitBlocked.ok":"ٹھیک ہے","codex.gallery.dialogs.submitBlocked.title":"پیغام بھیجنے سے قاصر","codex.gallery.dialogs.title":"ڈائیلاگ","codex.gallery.dropdown.filterPlaceholder":"اشیاء فلٹر کریں","codex.gallery.dropdowns.actionRow":"کارروائی کی قطاریں","codex.gallery.dropdowns.actionRow.disabled":"غیر فعال شدہ کارروائی","codex.gallery.dropdowns.actionRow.primary":"بنیادی کارروائی","codex.gallery.dropdowns.actionRow.secondary":"ثانوی کارروائی","codex.gallery.dropdowns.actionRow.trigger":"کارروائیاں دکھائیں","codex.gallery.dropdowns.basic":"بنیادی ڈراپ ڈاؤن","codex.gallery.dropdowns.basic.newFile":"نئی فائل","codex.gallery.dropdowns.basic.newFolder":"نیا فولڈر","codex.gallery.dropdowns.basic.openSettings":"ترتیبات کھولیں","codex.gallery.dropdowns.basic.title":"فوری اقدامات","codex.gallery.dropdowns.basic.trigger":"مینو کھولیں","codex.gallery.dropdowns.basic.upload":"اپ لوڈ کریں","codex.gallery.dropdowns.panel":"پینل کی سطح","codex.gallery.dropdowns.panel.apply":"اطلاق کریں","codex.gallery.dropdowns.panel.body":"اختلافات کا جائزہ لیں اور اپنے پروجیکٹ پر لاگو کریں۔","codex.gallery.dropdowns.panel.preview":"پیش نظارہ","codex.gallery.dropdowns.panel.title":"تبدیلیاں لاگو کریں","codex.gallery.dropdowns.panel.trigger":"پینل کھولیں","codex.gallery.dropdowns.search":"قابل تلاش ڈراپ ڈاؤن","codex.gallery.dropdowns.search.first":"الفا چینل","codex.gallery.dropdowns.search.second":"بیٹا برانچ","codex.gallery.dropdowns.search.third":"رہائی کے امیدوار","codex.gallery.dropdowns.search.trigger":"اشیاء فلٹر کریں","codex.gallery.dropdowns.submenu":"ذیلی مینیو کے ساتھ ڈراپ ڈاؤن","codex.gallery.dropdowns.submenu.optionA":"پروجیکٹ الفا","codex.gallery.dropdowns.submenu.optionB":"پروجیکٹ بیٹا","codex.gallery.dropdowns.submenu.optionC":"پروجیکٹ گاما","codex.gallery.dropdowns.submenu.primary":"مالک کو سونپیں","codex.gallery.dropdowns.submenu.secondary":"کو منتقل کریں","codex.gallery.dropdowns.submenu.tertiary":"آرکائیو کریں","codex.gallery.dropdowns.submenu.trigger":"عمل کا انتخاب کریں","codex.gallery.dropdowns.title":"ڈراپ ڈاؤن","codex.gallery.inbox.automations.close":"بند کریں","codex.gallery.inbox.automations.popover.cardTitle":"آٹومیشنز کا نظم کریں","codex.gallery.inbox.automations.popover.dialogTitle":"آٹومیشنز کا نظم کریں","codex.header.settingsTooltip":"ترتیبات","codex.hunk.patch.error":"اسٹیج نہیں کیا جا سکا","codex.hunk.patch.missing":"اس ہنک کے لیے پیچ بنایا نہیں جا سکتا۔","codex.hunk.patch.partialSuccess":"جزوی کامیابی","codex.hunk.patch.revertError":"ان اسٹیج نہیں کیا جا سکا","codex.hunk.patch.revertSuccess":"کامیابی سے ان اسٹیج ہو گیا","codex.hunk.patch.success":"کامیابی سے اسٹیج ہو گیا","codex.legal.autonomy.details":"مزید تفصیلات کے لیے {link} دیکھیں","codex.legal.autonomy.details.link":"Codex دستاویزات","codex.legal.autonomy.title":"فیصلہ کریں کہ آپ کتنی خود مختاری دینا چاہتے ہیں","codex.legal.backButton":"واپس جائیں","codex.legal.cloud.taskOne.meta":"openai/agi · اکتوبر 12","codex.legal.cloud.taskOne.title":"نئے ڈیزائنر کے لئے ریپازٹری کو بیان کریں","codex.legal.cloud.taskThree.meta":"openai/codex · اکتوبر 8","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"ڈارک موڈ تھیم بنائیں","codex.legal.cloud.taskTwo.meta":"openai/agi · اکتوبر 9","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"آن بورڈنگ بگ کو ٹھیک کریں","codex.legal.continue.apikey":"جاری رکھیں","codex.legal.continueButton":"اگلا","codex.legal.copilot.details":"یہ تمام ماڈل کالز، بلنگ، اور شرح کی حدوں کے لیے آپ کا Copilot پلان استعمال کرتا ہے۔ Codex ایکسٹینشن کا استعمال {oaiTos} اور {gitHubTos} کے ساتھ مشروط ہے۔","codex.legal.copilot.gitHubTosLink":"GitHub سروس کی شرائط","codex.legal.copilot.oaiTosLink":"OpenAI Codex سروس کی شرائط","codex.legal.copilot.title":"GitHub Copilot کے ذریعے تقویت یافتہ","codex.legal.mistakes.review":"اس کوڈ کا جائزہ لیں جو یہ لکھتا اور اسے چلانے کا حکم دیتا ہے","codex.legal.mistakes.title":"Codex غلطیاں کر سکتا ہے","codex.legal.powered.details":"آپ کے پلان کی شرح کی حدود اور {link} استعمال کرتا ہے","codex.legal.powered.details.link":"تربیتی ڈیٹا کی ترجیحات","codex.legal.powered.title":"آپ کے ChatGPT اکاوٴنٹ کے ذریعے تقویت یافتہ","codex.legal.step.cloud.subtitle":"Codex کو پس منظر میں چلانے کے لیے ٹاسکس بھیجیں تاکہ آپ توجہ مرکوز رکھ سکیں اور تیزی سے آگے بڑھ سکیں۔","codex.legal.step.cloud.title":"ٹاسکس کو کلاؤڈ میں Codex کو سونپ دیں","codex.legal.step.intro.subtitle":"Codex آپ کے ریپو میں براہ راست نیویگیٹ کرتا ہے، ترمیم کرتا ہے، کمانڈ چلاتا ہے اور ٹیسٹ کو انجام دیتا ہے۔ آپ کے ChatGPT اکاؤنٹ سے تقویت یافتہ ہے۔","codex.legal.step.intro.title":"آپکی IDE میں Codex","codex.legal.step.todo.subtitle":"ایک TODO تبصرہ لکھیں اور اسے ایک کلک کے ساتھ Codex ٹاسک میں تبدیل کریں۔","codex.legal.step.todo.title":"TODOs کو Codex ٹاسکس میں تبدیل کریں","codex.legal.todo.heading":"// TODO: خاکہ نافذ کریں","codex.localConversation.closeImagePreview":"تصویر کا پیش نظارہ بند کریں","codex.localConversation.userImageAttachment":"صارف کی اٹیچمنٹ","codex.localTaskRow.archiveTask":"تھریڈ کو آرکائیو کریں","codex.localTaskRow.awaitingApproval":"منظوری کا انتظار ہے","codex.localTaskRow.awaitingResponse":"جواب کا انتظار ہے","codex.localTaskRow.confirmArchiveTask":"تصدیق کریں","codex.loggedOut.apiKeyPrompt.cancel":"منسوخ کریں","codex.loggedOut.apiKeyPrompt.confirm":"ٹھیک ہے","codex.loggedOut.apiKeyPrompt.getKey":"API کلید حاصل کریں","codex.loggedOut.apiKeyPrompt.inputLabel":"اپنی OpenAI کی API کلید داخل کریں","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"کلاؤڈ ٹاسکس کو API کلید سے غیر فعال کردیا گیا ہے","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"کلاؤڈ ٹاسکس کو Copilot اور API کلید سے غیر فعال کردیا گیا ہے","codex.loggedOut.signIn":"ChatGPT کے ساتھ سائن ان کریں","codex.loggedOut.signIn.cancel":"سائن ان منسوخ کریں","codex.loggedOut.signInWithCopilot":"GitHub Copilot کے ساتھ سائن ان کریں","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"API کلید استعمال کریں","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} ٹول","codex.mcpTool.collapsedLabel.verb.called":"بلایا","codex.mcpTool.collapsedLabel.verb.calling":"بلایا جا رہا ہے","codex.mcpTool.embeddedResource.contentLabel":"مواد","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME کی قسم","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"ٹول نے کوئی مواد واپس نہیں کیا","codex.mcpTool.rawPayloadHeading":"خام {server}.{tool} ٹول کال پے لوڈ","codex.menu.recent":"حالیہ","codex.menu.seeAllHistory":"تمام ہسٹری دیکھیں","codex.modelCapacityBanner.headline.noReset":"{modelName} اس وقت پُر صلاحیت ہے۔ بعد میں دوبارہ کوشش کریں، یا کسی اور ماڈل کے ساتھ نئی بات چیت شروع کریں۔","codex.modelCapacityBanner.headline.withReset":"{modelName} اس وقت پُر صلاحیت ہے۔ {resetDate} کے بعد دوبارہ کوشش کریں، یا کسی دوسرے ماڈل کے ساتھ نئی بات چیت شروع کریں۔","codex.modelCapacityBanner.title":"منتخب کردہ ماڈل پُر صلاحیت ہے","codex.patch.change.contentsDeleted":"مواد حذف کردیا گیا","codex.patch.change.created":"بن گیا ہے","codex.patch.change.created-file":"فائل بنائی","codex.patch.change.creating":"بنایا جا رہا ہے","codex.patch.change.deleted":"حذف کردیا گیا","codex.patch.change.deleted-file":"فائل حذف کر دی ہے","codex.patch.change.deleting":"حذف کیا جارہا ہے","codex.patch.change.edited":"ترمیم ہوگئی","codex.patch.change.edited-file":"ترمیم شدہ فائل","codex.patch.change.editing":"ترمیم کی جا رہی ہے","codex.patch.change.noChanges":"کوئی تبدیلی نہیں","codex.patch.change.rejected-add":"مسترد کردہ","codex.patch.change.rejected-delete":"مسترد کردہ","codex.patch.change.rejected-edit":"مسترد کردہ","codex.plan.stepIndexPrefix":"{index}۔","codex.plan.tasksCompletedSummary":"{total} میں سے {completed} ٹاسکس مکمل ہوگئے","codex.plan.todoListCreated":"{total} ٹاسکس کے ساتھ کرنے کے کام کی فہرست بنائی گئی","codex.profileDropdown.apiKeyAuth":"API کلید کے ساتھ لاگ ان کیا گیا","codex.profileDropdown.codexSettings":"Codex کی ترتیبات","codex.profileDropdown.copilotAuth":"Copilot کے ساتھ لاگ ان کیا گیا","codex.profileDropdown.defaultAccountTitle":"پہلے سے طے شدہ اکاوٴنٹ","codex.profileDropdown.enterBehavior":"لمبے پرومپٹس بھیجنے کے لیے {modifierSymbol} + انٹر دبائیں","codex.profileDropdown.enterBehaviorError":"سیٹنگ اپ ڈیٹ کرنے میں ناکامی","codex.profileDropdown.getPlus":"اعلیٰ حدود کے لیے اپ گریڈ کریں","codex.profileDropdown.keyboardShortcuts":"کی بورڈ شارٹ کٹس","codex.profileDropdown.language":"زبان","codex.profileDropdown.languageDefault":"خود کار طریقے سے پتہ لگائیں","codex.profileDropdown.languageSearchPlaceholder":"زبانیں تلاش کریں","codex.profileDropdown.languageUpdateError":"زبان اپ ڈیٹ نہیں کی جا سکی","codex.profileDropdown.logOut":"لاگ آوٴٹ کریں","codex.profileDropdown.mcp":"MCP ترتیبات","codex.profileDropdown.openConfigToml":"config.toml کھولیں","codex.profileDropdown.openConfigToml.wsl":"WSL ماحول میں config.toml کھولیں","codex.profileDropdown.openExtensionSettings":"ترتیبات کھولیں","codex.profileDropdown.openMcpSettings":"MCP ترتیبات کھولیں","codex.profileDropdown.openOnStartup":"اسٹارٹ اَپ پر کھولیں","codex.profileDropdown.openOnStartupError":"سیٹنگ اپ ڈیٹ کرنے میں ناکامی","codex.profileDropdown.openSkillsSettings":"اسکل کی ترتیبات کھولیں","codex.profileDropdown.personalAccountTitle":"ذاتی اکاوٴنٹ","codex.profileDropdown.queueFollowUps":"قطار فالو اپس","codex.profileDropdown.queueFollowUpsError":"سیٹنگ اپ ڈیٹ کرنے میں ناکامی","codex.profileDropdown.readDocs":"دستاویزات پڑھیں","codex.profileDropdown.readSkillsDocs":"دستاویزات پڑھیں","codex.profileDropdown.runInWsl":"WSL میں چلائیں","codex.profileDropdown.runInWslError":"سیٹنگ اپ ڈیٹ کرنے میں ناکامی","codex.profileDropdown.runInWslTooltip":"WSL کے اندر Codex چلاتا ہے۔ بہتر سینڈ باکس سیکیورٹی اور بہتر کارکردگی کے لیے تجویز کردہ ہے۔","codex.profileDropdown.settings":"IDE ترتیبات","codex.profileDropdown.settingsPage":"ترتیبات","codex.profileDropdown.signInWithOpenAI":"ChatGPT کے ساتھ سائن ان کریں","codex.profileDropdown.skills":"اسکل کی ترتیبات","codex.profileDropdown.switchToCopilotAccount":"Copilot اکاوٴنٹ استعمال کریں","codex.profileDropdown.switchToOpenAIAccount":"OpenAI اکاؤنٹ استعمال کریں","codex.profileDropdown.todoCodelens":"TODO تبصرے ٹھیک کریں","codex.profileDropdown.todoCodelensError":"سیٹنگ اپ ڈیٹ کرنے میں ناکامی","codex.profileDropdown.windowsDocumentation":"ونڈوز کی دستاویزات","codex.profileFooter.signedInFallback":"ترتیبات","codex.profileFooter.upgrade":"اپ گریڈ کریں","codex.recentTasksMenu.clearSearch":"تلاش صاف کریں","codex.recentTasksMenu.cloud":"کلاؤڈ ٹاسکس","codex.recentTasksMenu.count":"{count, plural, =0 {کوئی ٹاسک جاری نہیں} one {# ٹاسک جاری ہے} other {# ٹاسکس جاری ہیں}}","codex.recentTasksMenu.empty":"ابھی تک کوئی تھریڈ نہیں ہے","codex.recentTasksMenu.errorCloud":"ٹاسکس کو لوڈ نہیں کیا جاسکا۔","codex.recentTasksMenu.errorCloud.inline":"کلاؤڈ ٹاسکس کو لوڈ نہیں کیا جاسکا۔","codex.recentTasksMenu.filterAll":"تمام","codex.recentTasksMenu.filterCloudTasks":"کلاؤڈ ٹاسکس کو فلٹر کریں","codex.recentTasksMenu.filterTooltip":"ٹاسکس کو ماحول کے لحاظ سے فلٹر کریں","codex.recentTasksMenu.local":"لوکل ٹاسکس","codex.recentTasksMenu.recent":"تمام ٹاسکس","codex.recentTasksMenu.search":"حالیہ ٹاسکس تلاش کریں","codex.recentTasksMenu.searchEmpty":"کوئی نتیجہ نہیں","codex.recentTasksMenu.tooltip":"ٹاسک ہسٹری","codex.recentTasksMenu.trigger":"حالیہ ٹاسکس۔ {count, plural, one {# پر پیش رفت ہو رہی ہے} other {# پر پیش رفت ہو رہی ہے}}","codex.remoteConversation.applyDiff.applyCta":"تبدیلیاں لاگو کریں","codex.remoteConversation.applyDiff.dropdownTitle":"مقامی شاخ میں تبدیلیاں لاگو کریں","codex.remoteConversation.applyDiff.revertCta":"تبدیلیاں رد کریں","codex.remoteConversation.closeImagePreview":"تصویر کا پیش نظارہ بند کریں","codex.remoteConversation.codexCloudTask":"آپ <u>Codex کلاؤڈ</u> ٹاسک دیکھ رہے ہیں","codex.remoteConversation.errorWithMessage":"خرابی: {message}","codex.remoteConversation.loadingImage":"تصویر لوڈ ہو رہی ہے","codex.remoteConversation.openInWeb":"ویب میں کھولیں","codex.remoteConversation.streaming":"شروع کریں","codex.remoteConversation.turnFailed":"اس ٹاسک کے دوران ایک خرابی پیش آگئی","codex.remoteConversation.turnTab.loading":"{number} کوشش","codex.remoteConversation.turnTab.title":"{number} کوشش","codex.remoteConversation.userImageAttachment":"صارف کی اٹیچمنٹ","codex.remoteConversation.viewPreviousTurns":"ویب میں کھولیں","codex.remoteConversation.viewPreviousTurns.buttonText":"کھولیں","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"ویب میں کھولیں","codex.review.copyGitApplyCommand":"git اپلائی کمانڈ کو کاپی کریں","codex.review.copyGitApplyCommand.toast":"کلپ بورڈ پر git کے اطلاق کی کمانڈ کاپی کی","codex.review.diffTooLarge.description":"یہ فرق جائزہ میں ظاہر کرنے کے لیے بہت بڑا ہے۔","codex.review.diffTooLarge.title":"فرق ڈسپلے کرنے کے لیے بہت بڑا ہے","codex.review.expandOrCollapseDiffButton.collapse":"تمام اختلافات کو سمیٹیں","codex.review.expandOrCollapseDiffButton.expand":"تمام اختلافات کو پھیلائیں","codex.review.expandOrCollapseDiffMenu.collapse":"تمام اختلافات کو سمیٹیں","codex.review.expandOrCollapseDiffMenu.expand":"تمام اختلافات کو پھیلائیں","codex.review.fileSearch.clear":"فائل فلٹر کو صاف کریں","codex.review.fileSearch.empty":"کوئی فائل موجودہ فلٹر سے مماثل نہیں ہے۔","codex.review.fileSearch.label":"فائلوں کو فلٹر کریں","codex.review.fileSearch.placeholder":"فولڈر کی فائلیں","codex.review.filesChanged":"{num, plural, =0 {کوئی فائلیں تبدیل نہیں ہوئیں} one {# فائل تبدیل ہوگئی} other {# فائلیں تبدیل ہوگئیں}}","codex.review.find.loadMore":"مزید میچز لوڈ کریں","codex.review.fullReview.hideFileTree":"فائل ٹری چھپائیں","codex.review.fullReview.showFileTree":"فائل ٹری دکھائیں","codex.review.header.moreOptions":"جائزہ کے اختیارات","codex.review.largeDiff.banner":"بڑا diff معلوم ہوا — ایک وقت میں صرف ایک فائل دکھائی جا رہی ہے۔","codex.review.loadFullFiles.disable":"مکمل فائلیں لوڈ نہ کریں","codex.review.loadFullFiles.enable":"مکمل فائلیں لوڈ کریں","codex.review.noDiff":"فائل کی تبدیلیاں یہاں ظاہر ہوں گی","codex.review.noDiff.gitInit.createRepository":"گٹ ریپوزٹری بنائیں","codex.review.noDiff.gitInit.creating":"بنایا جا رہا ہے…","codex.review.noDiff.gitInit.error":"Git init ناکامی ہوئی: {message}","codex.review.noDiff.gitInit.success":"git ریپازٹری بن گیا ہے","codex.review.noDiff.gitRepoRequired.description":"اس پروجیکٹ میں ہونے والی تبدیلیوں کو ٹریک اور انڈو کریں","codex.review.noDiff.gitRepoRequired.title":"git ریپازٹری بنائیں","codex.review.noDiff.orNoLongerAvailable":"یا تازہ ترین diffs اب دستیاب نہیں ہیں","codex.review.noDiff.reverted":"آخری مرحلہ واپس کر دیا گیا ہے","codex.review.noDiff.revertedOrCommitted":"آخری مرحلہ یا تو واپس کر دیا گیا ہے یا مکمل کر دیا گیا ہے","codex.review.refreshGitQueries":"ریفریش کریں","codex.review.revert.file.error":"{path} کو واپس لانے میں ناکام","codex.review.revert.file.partialSuccess":"{path} کو جزوی طور پر واپس لایا گیا","codex.review.revert.file.success":"{path} کو واپس لایا گیا","codex.review.revert.hunk.error":"ہنک {hunkNumber} کو {path} میں واپس نہیں لایا جا سکا","codex.review.revert.hunk.partialSuccess":"ہنک {hunkNumber} کو {path} میں جزوی طور پر واپس نہیں لایا جا سکا","codex.review.revert.hunk.success":"ہنک {hunkNumber} کو {path} میں واپس لایا گیا","codex.review.revert.section.error":"سیکشن کو واپس نہیں لایا جا سکا","codex.review.revert.section.partialSuccess":"سیکشن جزوی طور پر واپس لایا گیا","codex.review.revert.section.success":"سیکشن واپس لایا گیا","codex.review.revertDialog.cancel":"منسوخ کریں","codex.review.revertDialog.confirm":"تصدیق کریں","codex.review.revertDialog.message":"یہ کارروائی ان تمام تبدیلیوں کو مٹا دیتی ہے۔","codex.review.revertDialog.skip":"دوبارہ نہ پوچھیں","codex.review.revertDialog.title":"تبدیلیاں رد کریں؟","codex.review.richPreview.disable":"رچ پیش نظارہ غیر فعال کریں","codex.review.richPreview.enable":"رچ پیش نظارہ فعال کریں","codex.review.source.cloud":"Cloud میں تبدیلیاں","codex.review.source.local.all":"تمام شاخوں میں تبدیلی","codex.review.source.local.lastTurn":"آخری بار تبدیلیاں","codex.review.source.local.uncommitted":"غیر منظم تبدیلیاں","codex.review.source.worktree":"ورک ٹری کی غیر ارتکاب تبدیلیاں","codex.review.stageFilter.empty.staged.description":"ان کو اسٹیج کرنے کے لیے ترامیم قبول کریں","codex.review.stageFilter.empty.staged.title":"کوئی مرحلہ وار تبدیلیاں نہیں ہیں","codex.review.stageFilter.empty.unstaged.description":"کوڈ کی تبدیلیاں یہاں ظاہر ہوں گی","codex.review.stageFilter.empty.unstaged.title":"غیر مرحلہ کردہ تبدیلیاں نہیں","codex.review.stageFilter.staged":"اسٹیج کردہ","codex.review.stageFilter.staged.count":"اسٹیج کردہ · {count}","codex.review.stageFilter.unstaged":"ان اسٹیج کردہ","codex.review.stageFilter.unstaged.count":"ان اسٹیج کردہ · {count}","codex.review.switchToSplit":"اسپلٹ diff پر سوئچ کریں","codex.review.switchToUnified":"یکجا فرق پر سوئچ کریں","codex.review.toggleDiffView":"diff نظارے کو ٹوگل کریں","codex.review.wordDiffs.disable":"لفظ کے فرق کو غیر فعال کریں","codex.review.wordDiffs.enable":"لفظ کے فرق کو فعال کریں","codex.review.wrap.disable":"لفظی ریپ غیر فعال کریں","codex.review.wrap.enable":"لفظی ریپ فعال کریں","codex.section.patch.missing":"اس سیکشن کے لیے پیچ بنایا نہیں جا سکتا۔","codex.shell.collapse":"شیل منہدم کریں","codex.shell.commandLine":"{command}$","codex.shell.copy.copiedTooltip":"شیل کا مواد کاپی ہوگیا","codex.shell.copy.copyTooltip":"شیل کا مواد کاپی کریں","codex.shell.copyCommand":"کمانڈ کاپی کریں","codex.shell.copyOutput":"آؤٹ پٹ کاپی کریں","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"بیش","codex.shell.expand":"شیل کو توسیع دیں","codex.shell.name":"شیل","codex.shell.noOutput":"کوئی آؤٹ پٹ نہیں","codex.signInFailed.message":"سائن ان ناکام ہوا: {rawMessage}","codex.stories.toast.show":"ٹوسٹ دکھائیں","codex.stories.tooltip.basic":"یہ ٹول ٹپ ہے","codex.stories.tooltip.hoverMe":"مجھے منڈلانے /گرد گھومنے دیں","codex.stories.tooltip.largerOffset":"اس ٹول ٹپ میں ایک بڑا آف سیٹ ہے","codex.stories.tooltip.offsetButton":"بڑا آف سیٹ","codex.stories.tooltip.shortcutButton":"شارٹ کٹ کے ساتھ","codex.stories.tooltip.withShortcut":"ٹرمنل کو ٹوگل کریں","codex.taskRow.title":"نئی سیریز","codex.taskRowLayout.confirm":"تصدیق کریں","codex.threadFindBar.chatFilter":"چیٹس تلاش کریں","codex.threadFindBar.close":"تلاش بند کریں","codex.threadFindBar.diffFilter":"تلاش میں فرق ہے","codex.threadFindBar.label":"تھریڈ میں ڈھونڈیں","codex.threadFindBar.nextResult":"اگلا نتیجہ","codex.threadFindBar.noResults":"0 نتائج","codex.threadFindBar.placeholder":"تھریڈ تلاش کریں…","codex.threadFindBar.placeholder.extension":"تھریڈ تلاش کریں…","codex.threadFindBar.placeholder.review":"diff تلاش کریں…","codex.threadFindBar.placeholder.review.extension":"diff تلاش کریں…","codex.threadFindBar.previousResult":"پچھلا نتیجہ","codex.todoPlan.stepIndexPrefix":"{index}۔","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, one {# فائل تبدیل ہوگئی} other {# فائلیں تبدیل ہوگئیں}}","codex.unifiedDiff.inlineLargeFile":"ان لائن رینڈر کرنے کے لیے بہت بڑا ہے","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"کالعدم کریں","codex.unifiedDiff.revertPatchError":"تبدیلیاں واپس نہیں کی جاسکیں","codex.unifiedDiff.revertPatchSuccess":"تبدیلیاں واپس ہوگئیں","codex.unifiedDiff.reviewChangesSuffix":"تبدیلیاں","codex.unifiedDiff.reviewShort":"جائزہ لیں","codex.unifiedDiff.viewDiffTooltip":"جائزہ لیں","codex.upsellBanner.business.headline":"ابھی مزید رسائی حاصل کرنے کے لیے، اپنے منتظم کو ایک درخواست بھیجیں، یا{resetDate} تک انتظار کریں۔","codex.upsellBanner.cbp.headline":"ابھی مزید رسائی حاصل کرنے کے لیے، اپنے منتظم کو ایک درخواست بھیجیں۔","codex.upsellBanner.cta.addCredits":"کریڈٹس شامل کریں","codex.upsellBanner.cta.upgradeAccount":"اپ گریڈ کریں","codex.upsellBanner.cta.viewUsage":"استعمال دیکھیں","codex.upsellBanner.freeOrGo.headline":"آپ کی شرح کی حد {resetDate} کو ری سیٹ ہوتی ہے۔ Codex کا استعمال جاری رکھنے کے لیے، آج ہی پلس میں اپ گریڈ کریں۔","codex.upsellBanner.general.headline":"آپ کی شرح کی حد {resetDate} کو ری سیٹ ہو جاتی ہے۔","codex.upsellBanner.general.title":"آپ کے Codex پیغامات ختم ہو گئے ہیں","codex.upsellBanner.plus.headline":"آپ کی شرح کی حد {resetDate} کو ری سیٹ ہو جاتی ہے۔ Codex کا استعمال جاری رکھنے کے لیے، کریڈٹس شامل کریں یا آج ہی پرو میں اپ گریڈ کریں۔","codex.upsellBanner.pro.headline":"آپ کی شرح کی حد {resetDate} کو ری سیٹ ہو جاتی ہے۔ ابھی Codex کا استعمال جاری رکھنے کے لیے کریڈٹس شامل کریں۔","codex.userMessage.autoResolveSync":"تنازعات کو خود بخود حل کریں","codex.userMessage.commentCount":"{count, plural, one {# تبصرہ} other {# تبصرے}}","codex.userMessage.copiedAriaLabel":"کاپی ہو گیا","codex.userMessage.copiedTooltip":"کاپی ہو گیا","codex.userMessage.copyAriaLabel":"پیغام کاپی کریں","codex.userMessage.copyTooltip":"کاپی کریں","codex.userMessage.implementPlan":"پلان پر عمل کریں","codex.userMessage.noContent":"(کوئی مواد نہیں)","codex.userMessage.priorConversation":"پیشگی گفتگو کے حوالے","codex.userMessage.reviewMode":"جائزہ موڈ","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"{query} کے لیے","codex.webSearch.summary.verb.completed":"ویب پر تلاش کیا گیا","codex.webSearch.summary.verb.inProgress":"ویب پر تلاش کیا جا رہا ہے","codex.windowsInstallWslBanner.dismiss":"چھوڑ دیں","codex.windowsInstallWslBanner.installWslCta":"سینڈ باکس کو فعال کریں","codex.windowsInstallWslBanner.learnMore":"مزید جانیں","codex.windowsSandboxBanner.content":"ایجنٹ موڈ ونڈوز پر ایک تجرباتی سینڈ باکس استعمال کرتا ہے تاکہ فائل سسٹم اور نیٹ ورک تک رسائی محدود کی جا سکے۔{sandboxLink}","codex.windowsSandboxBanner.title":"ایجنٹ موڈ کے لیے سینڈ باکس کو فعال کریں","codex.windowsSubDropdown.windowsSandbox":"Windows Sandbox","codex.windowsSubDropdown.windowsSettings":"ونڈوز کی ترتیبات","codexUpgradeModal.body":"اب GPT-5.2-Codex کے ذریعے تقویت یافتہ ہے، جو ہمارا تازہ ترین فرنٹیئر ایجنٹ کوڈنگ ماڈل ہے۔ کوڈنگ پر یہ {link} ہے؛ GPT-5.2 پر مزید بہتری۔","codexUpgradeModal.close":"بند کریں","codexUpgradeModal.image.altText":"GPT-5.2-Codex","codexUpgradeModal.smarterAndFaster":"زیادہ اسمارٹ اور تیز","codexUpgradeModal.title":"Codex ابھی ابھی اپ گریڈ ہوا ہے","codexUpgradeModal.tryNewModel":"GPT-5.2-Codex-Max آزمائیں","codexUpgradeModal.useExistingModel":"موجودہ ماڈل کے ساتھ جاری رکھیں","commentAttachments.numComments":"{count, plural, one {# تبصرہ} other {# تبصرے}}","commentAttachments.removeAriaLabel":"تبصروں کی اٹیچمنٹ ہٹائیں","common.close":"بند کریں","composer.addContext.openFilePickerError":"فائل پکر کھولنے سے قاصر","composer.addContextDropdown.ariaLabel":"فائلیں وغیرہ اپ لوڈ کریں","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"فائلیں وغیرہ اپ لوڈ کریں","composer.addPhotosAndFiles":"تصاویر اور فائلیں شامل کریں","composer.atMentionList.emptyQuery":"فائلیں تلاش کرنے کے لیے ٹائپ کریں","composer.atMentionList.loading":"تلاش جاری ہے...","composer.atMentionList.noResults":"بلا نتیجہ","composer.attemptsSelector.option":"{count, plural, one {# ورژن} other {# ورژنز}}","composer.attemptsSelector.tooltip":"Codex کے لیے متوازی کوششوں کی تعداد","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"رکیں","composer.cloudFollowUp.cloud":"Cloud","composer.cloudFollowUp.local":"لوکل","composer.cloudFollowUp.whereRun":"یہ فالو-اپ کہاں چلایا جانا چاہیے؟","composer.cloudTaskCreationError":"کلاؤڈ ٹاسک بنانے میں خرابی","composer.cloudTaskError":"ٹاسک بنانے میں خرابی","composer.contextWindow.autoCompactionTooltipLine1":"Codex خود بخود اپنا سیاق و سباق مختصر کر دیتا ہے","composer.contextWindow.usagePercent":"%{usage}","composer.contextWindowUsageLabel":"سیاق و سباق کی ونڈو:","composer.contextWindowUsageStatusFull":"{usage}% بھری ہے","composer.contextWindowUsageStatusLeft":"{usage}% استعمال شدہ ({remaining}% باقی)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k ٹوکنز استعمال ہوئے","composer.customCliTooltip":"ایک حسب ضرورت CLI قابل عمل استعمال کرنا","composer.dictation.aria":"ڈکٹیٹ کریں","composer.dictation.cancel.aria":"ڈکٹیشن روکیں","composer.dictation.cancel.tooltip":"ڈکٹیشن روکیں","composer.dictation.startError":"ڈکٹیشن شروع کرنے سے قاصر","composer.dictation.submit.aria":"نقل کر کے بھیجیں","composer.dictation.submit.tooltip":"نقل کر کے بھیجیں","composer.dictation.tooltip":"بولنے کے لیے دبائے رکھیں","composer.dictation.transcribeError":"آڈیو کو نقل کرنے سے قاصر","composer.dictation.unsupported":"اس ڈیوائس پر ڈکٹیشن دستیاب نہیں ہے","composer.dropOverlay.holdShift":"ڈراپ کرنے کے لیے {key} کو پکڑیں","composer.dropOverlay.shiftKey":"شفٹ","composer.environmentSelector.createNew":"نیا بنائیں","composer.environmentSelector.error":"ماحول لوڈ کرنے میں خرابی آگئی","composer.environmentSelector.goBack":"کمپوزر پر واپس","composer.environmentSelector.title":"ماحول منتخب کریں","composer.environmentSelector.tooltip":"کلاؤڈ ماحول منتخب کریں","composer.feedbackSlashCommand.title":"رائے","composer.filePicker.selectFile":"ایک فائل منتخب کریں","composer.filePicker.selectFiles":"فائلیں منتخب کریں","composer.followerTooltip":"جاری رکھنے کے لیے، اس ونڈو پر واپس جائیں جہاں سے یہ گفتگو شروع ہوئی تھی۔","composer.footer.branchSwitch.checkoutError":"برانچ کو تبدیل کرنے میں ناکام:{message}","composer.footer.branchSwitch.createAndCheckout":"نئی برانچ بنائیں اور چیک آؤٹ کریں…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"نئی برانچ بنانے اور چیک آؤٹ کرنے کے لیے تبدیلیوں کا ارتکاب کریں","composer.footer.branchSwitch.createBranchError":"برانچ بنائی نہیں جاسکی: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"برانڈ کا نام","composer.footer.branchSwitch.createDialog.branchExistsError":"برانچ پہلے سے موجود ہے۔","composer.footer.branchSwitch.createDialog.close":"بند کریں","composer.footer.branchSwitch.createDialog.createAndCheckout":"بنائیں اور چیک آؤٹ کریں","composer.footer.branchSwitch.createDialog.placeholder":"نئی برانچ","composer.footer.branchSwitch.createDialog.title":"نئی برانچ بنائیں اور چیک آؤٹ کریں","composer.footer.branchSwitch.createDialog.trailingSlashError":"برانچ کا نام ’’/‘‘ کے ساتھ ختم نہیں ہوسکتا","composer.footer.branchSwitch.tooltip":"برانچ سوئچ کریں","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"{branchName}کو چیک کرنے کے لیے {fileCount, plural, one {# فائل} other {# فائلیں}} میں تبدیلیاں کریں۔","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"کمِٹ","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{branchName} کو چیک کرنے کے لیے {fileCount, plural, one {# فائل} other {# فائلیں}} میں تبدیلیاں کریں۔","composer.footer.branchSwitch.uncommittedDialog.cancel":"منسوخ کریں","composer.footer.branchSwitch.uncommittedDialog.commit":"کمِٹ کریں اور برانچ تبدیل کریں…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"درج ذیل فائلوں میں آپ کی تبدیلیاں چیک آؤٹ کے ذریعے اوور رائٹ ہو جائیں گی۔","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"براہ کرم جاری رکھنے کے لیے اپنی تبدیلیوں کا عہد کریں","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"منتخب برانچ","composer.footer.branchSwitch.uncommittedDialog.title":"برانچ سوئچ کرنے کے لیے تبدیلیاں کریں","composer.footer.branchSwitch.uncommittedSummaryPrefix":"غیر متزلزل:{fileCount, plural, one {# فائل} other {# فائلیں}}","composer.forkSlashCommand.description":"اس تھریڈ کی علیحدہ کاپی بنا کر اسے لوکل برانچ یا نئے ورک ٹری میں منتقل کریں","composer.forkSlashCommand.option.local.description":"ایک نئے لوکل تھریڈ میں جاری رکھیں","composer.forkSlashCommand.option.local.title":"اسے لوکل میں فورک کریں","composer.forkSlashCommand.option.worktree.description":"ایک نئے ورک ٹری میں جاری رکھیں","composer.forkSlashCommand.option.worktree.title":"نئے ورک ٹری میں فورک کریں","composer.forkSlashCommand.title":"فورک کریں","composer.imageInputsUnsupported":"یہ ماڈل امیج ان پٹ کو سپورٹ نہیں کرتا ہے۔ ایک مختلف ماڈل آزمائیں۔","composer.imageUploadFailed":"تصویر اپ لوڈ نہیں کی جاسکی","composer.includeIdeContextDropdown":"IDE سیاق و سباق شامل کریں","composer.includeIdeContextDropdown.ariaLabel":"IDE سیاق و سباق شامل کریں","composer.localCwdDropdown.addWorkspaceRoot":"نیا پروجیکٹ شامل کریں","composer.localCwdDropdown.noActiveRoot":"اپنا پروجیکٹ منتخب کریں","composer.localCwdDropdown.noResults":"کوئی فولڈرز نہیں ملے","composer.localCwdDropdown.title":"اپنا پروجیکٹ منتخب کریں","composer.localTaskError":"گفتگو شروع کرنے میں خرابی پیش آگئی","composer.mcpSlashCommand.description":"MCP سرور کی صورت حال دکھائیں","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"تصدیق شدہ نہیں","composer.mcpStatus.authOauth":"تصدیق شدہ (OAuth)","composer.mcpStatus.authToken":"تصدیق شدہ (API کلید)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"بند کریں","composer.mcpStatus.disabled":"غیر فعال کردیا گیا","composer.mcpStatus.emptyLabel":"سرورز:","composer.mcpStatus.emptyValue":"کوئی MCP سرور کنفیگر نہیں ہے","composer.mcpStatus.enabled":"فعال ہوا","composer.mcpStatus.errorLabel":"اسٹیٹس:","composer.mcpStatus.errorValue":"MCP اسٹیٹس لوڈ کرنے سے قاصر","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"ایجنٹ","composer.mode.agentMode.auto.dropdownLabel":"ایجنٹ","composer.mode.agentMode.auto.optionLabel":"ایجنٹ","composer.mode.agentMode.changePermission":"موڈ سوئچ کریں","composer.mode.agentMode.custom":"کسٹم","composer.mode.agentMode.custom.dropdownLabel":"کسٹم","composer.mode.agentMode.custom.option":"کسٹم (config.toml)","composer.mode.agentMode.custom.optionLabel":"کسٹم (config.toml)","composer.mode.agentMode.customInfo.cancel":"منسوخ کریں","composer.mode.agentMode.customInfo.cli":"آپ ان ترتیبات کو CLI سے یا براہ راست فائل میں ترمیم کرکے ایڈجسٹ کر سکتے ہیں۔","composer.mode.agentMode.customInfo.confirm":"کسٹم موڈ استعمال کریں","composer.mode.agentMode.customInfo.description":"یہ موڈ آپ کی<link> config.toml</link> فائل میں طے کیے گئے approval اور sandbox پالیسیوں کو نافذ کرتا ہے۔","composer.mode.agentMode.customInfo.docs":"approval اور sandbox پالیسیوں کی کنفیگریشن کے بارے میں مزید جاننے کے لیے، <link>ایگزیکیوشن انوائرمنٹ ڈاکیومنٹس </link>سے رجوع کریں۔","composer.mode.agentMode.customInfo.refresh":"اگلی بار ایجنٹ کے کام کرنے پر کوئی بھی تبدیلیاں لاگو ہوتی ہیں۔","composer.mode.agentMode.customInfo.title":"کسٹم موڈ کیسے کام کرتا ہے","composer.mode.agentMode.fullAccess":"ایجنٹ (مکمل رسائی)","composer.mode.agentMode.fullAccess.dropdownLabel":"ایجنٹ (مکمل رسائی)","composer.mode.agentMode.fullAccess.optionLabel":"ایجنٹ (مکمل رسائی)","composer.mode.agentMode.fullAccessConfirm.caution":"مکمل رسائی کو فعال کرتے وقت احتیاط برتیں۔ یہ ڈیٹا کے ضائع ہونے، لیک ہونے یا غیر متوقع رویے کے خطرے کو نمایاں طور پر بڑھاتا ہے۔","composer.mode.agentMode.fullAccessConfirm.confirm":"ہاں، پھر بھی جاری رکھیں","composer.mode.agentMode.fullAccessConfirm.description":"جب Codex مکمل رسائی کے ساتھ چلتا ہے، تو یہ آپ کے کمپیوٹر پر کسی بھی فائل میں ترمیم کر سکتا ہے اور آپ کی منظوری کے بغیر نیٹ ورک کے ساتھ کمانڈ چلا سکتا ہے۔","composer.mode.agentMode.fullAccessConfirm.goBack":"منسوخ کریں","composer.mode.agentMode.fullAccessConfirm.title":"مکمل رسائی فعال کریں؟","composer.mode.agentMode.readOnly":"چیٹ","composer.mode.agentMode.readOnly.dropdownLabel":"چیٹ","composer.mode.agentMode.readOnly.optionLabel":"چیٹ","composer.mode.agentMode.tooltip":"موڈ سوئچ کریں","composer.mode.agentMode.tooltip.auto":"فائلوں کو پڑھیں اور ان میں ترمیم کریں، اور کمانڈز چلائیں۔","composer.mode.agentMode.tooltip.custom":"config.toml میں بیان کردہ تازہ ترین منظوری اور سینڈ باکس پالیسیوں کا استعمال کریں۔","composer.mode.agentMode.tooltip.fullAccess":"Codex پروجیکٹ سے باہر فائلوں میں ترمیم کر سکتا ہے اور نیٹ ورک تک رسائی کے ساتھ کمانڈ چلا سکتا ہے۔ استعمال کرتے وقت احتیاط برتیں۔","composer.mode.agentMode.tooltip.readOnly":"فائلوں میں ترمیم کرنے اور کمانڈز چلانے کے لیے منظوری درکار ہے۔","composer.mode.cloud.tooltip":"کلاؤڈ ماحول میں کام کریں","composer.mode.contactAdmin":"مزید رسائی حاصل کرنے کے لیے، اپنے ایڈمن سے رابطہ کریں","composer.mode.local":"لوکل","composer.mode.local.learnMore":"مزید جانیں","composer.mode.local.model.custom":"کسٹم","composer.mode.local.model.loadingModel":"ماڈل لوڈ ہو رہا ہے","composer.mode.local.model.selecrReasoningEffort":"استدلال منتخب کریں","composer.mode.local.model.selectModel":"ماڈل منتخب کریں","composer.mode.local.model.tooltip":"ماڈل منتخب کریں","composer.mode.local.ratePercent":"%{usage}","composer.mode.local.reasoning.high.label":"زیادہ","composer.mode.local.reasoning.low.label":"کم","composer.mode.local.reasoning.medium.label":"درمیانہ","composer.mode.local.reasoning.minimal.label":"کم سے کم","composer.mode.local.reasoning.none.label":"کوئی نہیں","composer.mode.local.reasoning.xhigh.label":"ذیادہ اونچا","composer.mode.localRemoteWhereRun":"منتخب کریں کہ ٹاسک کو کہاں چلانا ہے","composer.mode.newTask.header":"میں جاری رکھیں","composer.mode.rateLimit.day":"{days}d","composer.mode.rateLimit.heading":"باقی ماندہ ریٹ لمٹس","composer.mode.rateLimit.hour":"{hours}h","composer.mode.rateLimit.minute":"{minutes}m","composer.mode.rateLimit.modelSectionLabel":"{modelName} حد:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, one {ہفتہ وار حد} other {{weeks} ہفتے کی حد}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, one {ہفتہ وار} other {{weeks} ہفتہ}}","composer.mode.remote.connectToCloud":"Codex ویب سے جڑیں","composer.mode.remote.connectToCloudDisabledTooltip":"Codex ویب کے ذریعے کلاؤڈ کو ٹاسکس بھیجنے کے قابل بنانے کے لیے ماحول ترتیب دیں","composer.mode.remote.selectEnvironment":"ماحول منتخب کریں","composer.mode.remote.sendToCloud":"کلاؤڈ کو بھیجیں","composer.mode.remote.setupViaWeb":"Codex ویب کے ذریعے ماحول ترتیب دیں","composer.mode.runInCloud":"Cloud","composer.mode.runInCloudWithEnvironment":"کلاؤڈ · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"کلاؤڈ ماحول میں کام کریں","composer.mode.segmentedToggle.local.tooltip":"اپنے مقامی پروجیکٹ میں کام کریں","composer.mode.segmentedToggle.worktree.tooltip":"متوازی ورک ٹری میں کام کریں","composer.mode.upgradeToPlus":"Plus میں اپ گریڈ کریں","composer.mode.upgradeToPro":"Pro میں اپ گریڈ کریں","composer.mode.workLocally":"مقامی پروجیکٹ","composer.mode.workLocally.currentBranchFallback":"آپ کی شاخ","composer.mode.workLocally.tooltip":"{branchName} میں کام کریں","composer.mode.worktree":"نیا ورک ٹری","composer.mode.worktree.submoduleWarning":"اس ریپو میں گٹ سب موڈیولز ہیں۔ ورک ٹری تخلیق ناکام ہو سکتی ہے","composer.mode.worktree.tooltip":"متوازی طور پر کام کرنے کے لیے اپنے مقامی پروجیکٹ کی ایک کاپی بنائیں","composer.mode.worktreeSegment":"ورک ٹری","composer.modelChangeDuringConversationWarning.toast":"گفتگو کے دوران ماڈل تبدیل کرنے سے کارکردگی متاثر ہوگی۔","composer.newChat.heading.browser":"ہمیں اگلا کیا کوڈ کرنا چاہیے؟","composer.permissionsDropdown.custom.label":"کسٹم (config.toml)","composer.permissionsDropdown.custom.optionLabel":"کسٹم (config.toml)","composer.permissionsDropdown.default.label":"پہلے سے طے شدہ اجازتیں","composer.permissionsDropdown.default.optionLabel":"پہلے سے طے شدہ اجازتیں","composer.permissionsDropdown.fullAccess.disabled":"مکمل رسائی requirements.toml کی وجہ سے غیر فعال ہے","composer.permissionsDropdown.trigger.tooltip":"اجازتیں تبدیل کریں","composer.personalitySlashCommand.description.friendly":"گرمجوشی، باہمی تعاون پر مبنی اور مددگار","composer.personalitySlashCommand.description.pragmatic":"جامع، کام پر مرکوز، اور براہ راست","composer.personalitySlashCommand.label.friendly":"دوستانہ","composer.personalitySlashCommand.label.pragmatic":"عملی","composer.personalitySlashCommand.notApplicableSuffix":"(موجودہ ماڈل پر لاگو نہیں ہوتا)","composer.personalitySlashCommand.title":"شخصیت","composer.placeholder.cloudFollowUp.directFollowUp":"اس کلاؤڈ ٹاسک کا فالو اپ","composer.placeholder.cloudFollowUp.local":"ایک نیا مقامی ٹاسک بنائیں جو اس کلاؤڈ ٹاسک کا حوالہ دیتا ہو","composer.placeholder.cloudFollowUp.workingTree":"ایک نیا کلاؤڈ ٹاسک بنائیں جس میں آپ کا موجودہ کوڈ شامل ہو اور جو اس ٹاسک کا حوالہ دے گا","composer.placeholder.localFollowUp.cloud":"نئے کلاؤڈ ٹاسک میں فالو اپ","composer.placeholder.localFollowUp.locally":"فالو اپ تبدیلیوں کے بارے میں پوچھیں","composer.placeholder.newTask.cloud":"Codex سے کلاؤڈ میں کچھ بھی کرنے کو کہیں","composer.placeholder.newTask.doAnything":"Codex سے کچھ بھی کرنے کو کہیں","composer.placeholder.newTask.locally":"Codex سے کچھ بھی پوچھیں، @ فائلیں شامل کرنے کے لیے، / کمانڈز کے لیے","composer.planModeDropdown":"پلان موڈ","composer.planModeDropdown.ariaLabel":"پلان موڈ","composer.planModeIndicator":"منصوبہ","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planSlashCommand.disableDescription":"پلان موڈ کو آف کریں","composer.planSlashCommand.enableDescription":"پلان موڈ کو آن کریں","composer.planSlashCommand.title":"پلان موڈ","composer.priorContext.label":"سابقہ سیاق و سباق","composer.priorContext.removeAriaLabel":"سابقہ سیاق و سباق کو ہٹائیں","composer.queuedMessage.delete":"قطار میں لگے پیغام کو حذف کریں","composer.queuedMessage.edit":"پیغام میں ترمیم کریں","composer.queuedMessage.more":"قطار میں لگے پیغام کی کارروائیاں","composer.queuedMessage.sendNow":"ابھی بھیجیں","composer.queuedMessage.turnOff":"قطار بند کر دیں","composer.reasoningEffort.local.reasoning.tooltip":"استدلال کی کوشش منتخب کریں","composer.remote.branchStartingPoint":"یہ کام کس برانچ سے شروع ہونا چاہیے؟","composer.remote.branchesSectionHeading":"برانچز","composer.remote.currentEditsSuffix.followUp":"ایک نیا ٹاسک بنائیں جو اس کلاؤڈ ٹاسک کا حوالہ دیتا ہو۔","composer.remote.currentEditsSuffix.useLocal":"مقامی کوڈ کی تبدیلیوں کے ساتھ","composer.remote.directFollowUp":"مقامی تبدیلیاں استعمال نہ کریں","composer.remote.errorLoadingBranches":"برانچز کو لوڈ کرنے میں خرابی","composer.remote.fromBranch":"{branch} سے","composer.remote.fromCurrentBranch":"{branch} سے (موجودہ)","composer.remote.loadingMoreBranches":"لوڈ ہو رہی ہے…","composer.remote.localFileStateHeading":"مقامی فائل کی حالت","composer.remote.localWorkingTree":"مقامی تبدیلیاں استعمال کریں","composer.remote.startingPoint":"یہ کام کس کوڈ سے شروع ہونا چاہیے؟","composer.reviewMode.branches.error":"برانچز لوڈ کرنے سے قاصر","composer.reviewMode.branches.retry":"دوبارہ کوشش کریں","composer.reviewMode.gitRoot.error":"Git روٹ نہیں ملا","composer.reviewMode.option.baseBranch.simple":"بیس برانچ کے خلاف جائزہ لیں","composer.reviewMode.option.unstaged.simple":"غیر محفوظ شدہ تبدیلیوں کا جائزہ لیں","composer.reviewMode.quickReviewError":"کوڈ کا جائزہ نہیں لیا جاسکا۔","composer.reviewMode.title":"کوڈ کا جائزہ","composer.sandboxButton.unlock.disabled.tooltip":"مکمل رسائی requirements.toml کی وجہ سے غیر فعال ہے","composer.sandboxButton.windowsSandboxDialog.content":"Codex فائل سسٹم اور نیٹ ورک تک رسائی کو محدود کرنے کے لیے ونڈوز پر تجرباتی سینڈ باکس استعمال کر سکتا ہے۔{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Windows Sandbox فعال کریں؟","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"صرف پڑھنے کے لیے","composer.searchEnvironments":"ماحول تلاش کریں","composer.skillMentionList.app":"ایپ","composer.skillMentionList.loading":"مہارتیں لوڈ ہو رہی ہیں...","composer.skillMentionList.noResults":"کوئی مہارت نہیں ملی","composer.slashCommands.cloudEnvironment.title":"کلاؤڈ ماحول","composer.slashCommands.dialogLabel":"سلیش کمانڈ مینو","composer.slashCommands.dialogTitle":"سلیش کمانڈز","composer.slashCommands.disabledTooltip":"سلیش کمانڈز استعمال کرنے کے لیے نئی گفتگو شروع کریں","composer.slashCommands.inputPlaceholder":"تلاش کریں","composer.slashCommands.noResults":"کوئی کمانڈز نہیں","composer.slashCommands.skillsGroup":"مہارتیں","composer.slashCommands.tooltip":"سلیش کمانڈز براؤز کریں","composer.status.close":"بند کریں","composer.statusPlain.alertLabel":"الرٹ:","composer.statusPlain.alertValue":"{window} پر {remaining} % باقی ہے","composer.statusPlain.contextLabel":"سیاق و سباق:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"({used} استعمال کیا / {total})","composer.statusPlain.contextValueRemaining":"{remaining} % باقی ہے","composer.statusPlain.heading":"اسٹیٹس","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} حد:","composer.statusPlain.rateLimitDays":"{count}d کی حد","composer.statusPlain.rateLimitFallbackLabel":"ریٹ کی حد:","composer.statusPlain.rateLimitHours":"{count}h کی حد","composer.statusPlain.rateLimitLabelBase":"ریٹ کی حد","composer.statusPlain.rateLimitMinutes":"{count}m کی حد","composer.statusPlain.rateLimitPercent":"{remaining} % باقی ہے","composer.statusPlain.rateLimitReset":"{time} دوبارہ ترتیب پائے گا","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"دوبارہ ترتیب پانے کا وقت عدم دستیاب ہے","composer.statusPlain.rateLimitUnavailable":"دستیاب نہیں ہے","composer.statusPlain.sessionCopiedAriaLabel":"سیشن کی آئی ڈی کاپی کر لی گئیں","composer.statusPlain.sessionCopiedTooltip":"کاپی کردہ آئی ڈی","composer.statusPlain.sessionCopyAriaLabel":"سیشن کی آئی ڈی کاپی کریں","composer.statusPlain.sessionCopyTooltip":"آئی ڈی کاپی کریں","composer.statusPlain.sessionLabel":"سیشن:","composer.statusSlashCommand.description":"تھریڈ آئی ڈی، سیاق و سباق کا استعمال اور ریٹ کی حدیں دکھائیں","composer.statusSlashCommand.title":"اسٹیٹس","composer.submit.blockedDialogOk":"ٹھیک ہے","composer.submit.blockedDialogTitle":"پیغام بھیجنے سے قاصر","composer.submit.emptyMessage":"شروع کرنے کے لیے پیغام درج کریں","composer.submit.imageInputsUnsupported":"یہ پیغام بھیجنے کے لیے تصاویر ہٹائیں یا ماڈلز کو تبدیل کریں۔","composer.submit.loadingLocalConfig":"لوڈ ہو رہی ہے…","composer.submit.missingCloudConfig":"آپ کو کلاؤڈ ماحول کا انتخاب کرنا ہوگا","composer.submit.missingCloudTurn":"اس ٹاسک پر فالو اپ نہیں کیا جاسکتا","composer.submit.noWorkspace":"Codex استعمال کرنے کے لیے ایک پروجیکٹ شامل کریں۔","composer.submit.waitForImageUploads":"تصاویر اپ لوڈ ہو رہی ہیں…","composer.submitButtonTooltip.send":"بھیجیں","composer.submitButtonTooltip.stop":"رکیں","composer.worktreeEnvironment.create":"مقامی ماحول بنائیں","composer.worktreeEnvironment.default":"پہلے سے طے شدہ ماحول","composer.worktreeEnvironment.error":"ماحول لوڈ کرنے میں خرابی آگئی","composer.worktreeEnvironment.loading":"ماحول لوڈ ہو رہے ہیں…","composer.worktreeEnvironment.title":"مقامی ماحول","composer.worktreeEnvironment.tooltip":"مقامی ماحول کا انتخاب کریں","composer.worktreeSetupFailed":"ورک ٹری سیٹ اپ ناکام ہو گیا۔ سیٹ اپ اسکرپٹ کے لیے .codex/environments چیک کریں۔","compoundButton.secondaryAction":"ثانوی کارروائی","copyButton.copied":"کاپی ہو گیا","copyButton.copiedAriaLabel":"کاپی ہو گیا","copyButton.copy":"کاپی کریں","copyButton.copyAriaLabel":"کاپی کریں","copyButton.copyCode":"کوڈ کاپی کریں","diff.actionButton.revertFile":"فائل کو واپس لائیں","diff.actionButton.revertHunk":"واپس آئیں","diff.actionButton.revertSection":"تمام کو واپس لائیں","diff.actionButton.revertSectionLabel":"تمام کو واپس لائیں","diff.actionButton.stageFile":"فائل کو اسٹیج کریں","diff.actionButton.stageHunk":"اسٹیج کریں","diff.actionButton.stageSection":"تمام کو اسٹیج کریں","diff.actionButton.stageSectionLabel":"تمام کو اسٹیج کریں","diff.actionButton.unstageFile":"فائل کو ان اسٹیج کریں","diff.actionButton.unstageHunk":"ان اسٹیج کریں","diff.actionButton.unstageSection":"تمام کو ان اسٹیج کریں","diff.actionButton.unstageSectionLabel":"تمام کو ان اسٹیج کریں","diff.fileHeader.toggle":"فائل diff ٹوگل کریں","electron.onboarding.login.apikey.cancel":"منسوخ کریں","electron.onboarding.login.apikey.continue":"جاری رکھیں","electron.onboarding.login.apikey.label":"OpenAI API کلید","electron.onboarding.login.apikey.open":"API کلید درج کریں","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"سائن ان منسوخ کریں","electron.onboarding.login.chatgpt.continue":"ChatGPT کے ساتھ جاری رکھیں","electron.onboarding.login.devbox":"ریموٹ SSH سے جڑیں","electron.onboarding.login.error":"سائن ان ناکام ہوا: {rawMessage}","electron.onboarding.login.snake.start":"سانپ کا کھیل کھیلیں","electron.onboarding.login.sshConfig.cancel":"منسوخ کریں","electron.onboarding.login.sshConfig.continue":"جاری رکھیں","electron.onboarding.login.sshConfig.hostnameLabel":"SSH میزبان نام","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"ایجنٹوں کے ساتھ تعمیر کرنے کا بہترین طریقہ","electron.onboarding.login.title":"Codex میں خوش آمدید","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"جاری رکھیں","electron.onboarding.welcome.doubleLimits.description":"Codex ایپ کے آغاز کی خوشی میں، آپ کے پاس 2 اپریل تک 2× کی شرح کی حد ہے۔","electron.onboarding.welcome.freego.description":"Codex آپ کے پلان میں 2 مارچ تک مفت شامل ہے – آئیے مل کر تعمیر شروع کریں۔","electron.onboarding.welcome.new.title.anon":"خوش آمدید!","electron.onboarding.workspace.continue":"جاری رکھیں","electron.onboarding.workspace.empty":"جاری رکھنے کے لیے ایک پروجیکٹ شامل کریں۔","electron.onboarding.workspace.listLabel":"دستیاب پراجیکٹس","electron.onboarding.workspace.loading":"پراجیکٹس کو لوڈ کیا جا رہا ہے…","electron.onboarding.workspace.openFolder":"پراجیکٹ شامل کریں","electron.onboarding.workspace.selectAll":"تمام کو منتخب کریں","electron.onboarding.workspace.skip":"چھوڑ دیں","electron.onboarding.workspace.skip.error":"نیا پراجیکٹ نہیں بنایا جا سکا:{message}","electron.onboarding.workspace.skip.error.unknown":"نامعلوم خرابی","electron.onboarding.workspace.skipping":"ایک نیا پراجیکٹ بنا رہا ہے…","electron.onboarding.workspace.subtitle":"Codex فائلوں میں ترمیم کرنے اور منتخب فولڈرز میں کمانڈ چلانے کے قابل ہو گا۔","electron.onboarding.workspace.title":"پراجیکٹ منتخب کریں","errorPage.list.checkSettings":"اپنی IDE ترتیبات کو اپ ڈیٹ کرنے کی کوشش کریں","errorPage.list.configToml":"غلط ترتیبات کے لیے اپنا config.toml چیک کریں","errorPage.list.downloadExtension":"ایکسٹینشن کا مختلف ورژن ڈاؤن لوڈ کرنے کی کوشش کریں","errorPage.list.runInWsl":"اگر آپ کو مطابقت کے مسائل نظر آرہے ہیں تو WSL میں چلانے کو غیر فعال کرنے کے لیے اپنی ترتیبات کو چیک کریں","execApprovalRequest.menu.runAlways":"ہاں، اس سیشن میں دوبارہ پوچھنے کی ضرورت نہیں","execApprovalRequest.menu.runAlwaysWithAmendment":"ہاں، اور {command} سے شروع ہونے والے کمانڈز کے لیے دوبارہ مت پوچھیں","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"ہاں، اور دوبارہ شروع ہونے والے کمانڈز کے لیے مت پوچھیں","execApprovalRequest.menu.runOnce":"ہاں","execApprovalRequest.prompt":"کیا آپ اس کمانڈ کو چلانا چاہتے ہیں؟","execApprovalRequest.reject":"نہیں","execFooter.exitCode":"کوڈ سے باہر نکلیں {code}","execFooter.exitCode.unknown":"نامعلوم","execFooter.success":"کامیابی","feedback.dialog.category.badResult":"برا نتیجہ","feedback.dialog.category.bug":"بگ","feedback.dialog.category.goodResult":"اچھا نتیجہ","feedback.dialog.category.other":"دیگر","feedback.dialog.descriptionPlaceholder":"مسئلے کی یہاں وضاحت کریں","feedback.dialog.dismiss":"چھوڑ دیں","feedback.dialog.includeLogsLabel":"موجودہ Codex سیشن لاگز شامل کریں","feedback.dialog.submit":"جمع کرائیں","feedback.dialog.submitError":"ہم آپ کا فیڈبیک جمع نہیں کر سکے۔ براہ کرم کچھ دیر بعد دوبارہ کوشش کریں۔","feedback.dialog.title":"رائے","feedback.dialog.uploadedMessage.existingIssue":"موجودہ کھلا مسئلہ","feedback.dialog.uploadedMessage.openIssue":"GitHub کا مسئلہ کھولیں","feedback.dialog.uploadedMessage.withThread":"فیڈبیک اپ لوڈ ہو گیا۔ اگر مسئلہ جاری رہتا ہے تو براہ مہربانی {openIssueLink} یا کسی {existingIssueLink} میں سیریز کی آئی ڈی کا تذکرہ کریں:","feedback.dialog.uploadedTitle":"فیڈبیک اپ لوڈ ہو گیا","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"{filename}ہٹائیں","header.back":"واپس جائیں","header.recentChats":"ٹاسکس","header.recentTasks.seeAll":"تمام دیکھیں ({total})","home.header.getPlus":"Plus حاصل کریں","home.hero.letsBuild":"آئیں بنائیں","homePage.mainContent":"بنیادی مواد","imageAttachment.defaultName":"تصویر","imageAttachment.preview.close":"تصویر کا پیش نظارہ بند کریں","imageAttachment.removeAriaLabel":"{filename}ہٹائیں","implementPlanRequest.option.implement":"ہاں، اس منصوبے کو عملی جامہ پہنائیں","implementPlanRequest.prompt":"اس منصوبے کو نافذ کریں؟","inbox.archived.deleteError":"محفوظ شدہ رن کو حذف نہیں کیا جا سکا","inbox.archived.deleteRun":"آرکائیو شدہ رن کو حذف کریں","inbox.archived.deleteSuccess":"آرکائیو شدہ سیریز کو حذف کر دیا گیا۔ <settingsLink>آرکائیو شدہ سیریز</settingsLink> میں دیکھیں۔","inbox.archived.inlineLabel.auto":"یہ تھریڈ خود بخود محفوظ ہو گیا تھا۔ <learnMoreLink> مزید جانیں</learnMoreLink>","inbox.archived.inlineLabel.manual":"اس تھریڈ کو آرکائیو کر دیا گیا تھا۔","inbox.archived.noMessageFound":"کوئی پیغام نہیں ملا","inbox.automations.createError":"آٹومیشن نہیں بن سکی","inbox.automations.deleteConfirm.cancel":"منسوخ کریں","inbox.automations.deleteConfirm.confirm":"آٹومیشن کو حذف کریں","inbox.automations.deleteConfirm.description":"یہ آٹومیشن کو مستقل طور پر حذف کر دے گا اور مستقبل میں ہونے والی کسی بھی چلنے کو روک دے گا۔","inbox.automations.deleteConfirm.title":"{name}حذف کریں؟","inbox.automations.deleteError":"آٹومیشن کو حذف نہیں کیا جا سکا","inbox.automations.editTooltip":"آٹومیشن میں ترمیم کریں","inbox.automations.inProgress":"پیش رفت ہو رہی ہے","inbox.automations.new":"نیا","inbox.automations.newToolbar":"نئی آٹومیشن","inbox.automations.pauseTooltip":"آٹومیشن کو روکیں","inbox.automations.resumeTooltip":"آٹومیشن دوبارہ شروع کریں","inbox.automations.startingNow":"شروع کیا جا رہا ہے","inbox.automations.startsIn":"{startTime} میں شروع ہوتا ہے","inbox.automations.status.active":"فعال کریں","inbox.automations.status.paused":"روک دیا","inbox.automations.status.runs":"{count} چلتا ہے","inbox.automations.status.started":"{date} شروع کیا گیا","inbox.automations.updateError":"آٹومیشن کو اپ ڈیٹ نہیں کیا جا سکا","inbox.automations.workspaceFallback":"-","inbox.filter.all":"تمام","inbox.filter.ariaLabel":"ان باکس آئٹمز کو فلٹر کریں","inbox.filter.unread":"غیر پڑھا ہوا","inbox.list.archived":"آرکائیو کر دیا گیا","inbox.list.inProgress":"پیش رفت ہو رہی ہے","inbox.list.recent":"مکمل شدہ","inbox.list.upNext":"شیڈول کردہ","inbox.mode.automations":"آٹومیشنز","inbox.mode.automations.beta":"بیٹا","inbox.noDescription":"کوئی وضاحت فراہم نہیں کی گئی","inbox.openThread":"تھریڈ کھولیں","inbox.rightPanel.emptySubtitle":"کام کو خودکار بنانے کے لیے شیڈول شدہ ٹاسکس سیٹ کریں","inbox.rightPanel.emptySubtitle.learnMore":"کام کو خودکار بنانے کے لیے شیڈول شدہ سیریز سیٹ کریں۔ <link>مزید جانیں</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, one {# فعال آٹومیشن} other {# فعال آٹومیشنز}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"بغیر پڑھے ہوئے آٹومیشن نہیں ہیں","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, one {# غیر پڑھی ہوئی آٹومیشن} other {# غیر پڑھی ہوئی آٹومیشنز}}","inbox.rightPanel.emptyTitle":"کوئی آئٹم منتخب نہیں کیا گیا","inbox.rightPanel.noThread":"اس آئٹم کے لیے کوئی تھریڈ موجود نہیں","inbox.rightPanel.quickStart.header":"ٹیمپلیٹ کے ساتھ شروع کریں","inbox.untitled":"بلا عنوان ان باکس آئٹم","loadingPage.documentationLink":"آگئی ہے","loadingPage.errorDescription":"Codex درج ذیل خرابی کے باعث کریش ہوگیا:","loadingPage.errorDescription.documentation":"Codex ایکسٹینشن کو دوبارہ شروع کرنے کے لیے دوبارہ لوڈ کریں پر کلک کریں، یا اضافی مدد کے لیے ہماری {documentationLink} ملاحظہ کریں۔","loadingPage.errorSignal":"آزمانے کی کچھ چیزیں:","loadingPage.errorTitle":"خرابی پیش آگئی","loadingPage.openConfigToml":"Config.toml کھولیں","loadingPage.reload":"دوبارہ لوڈ کریں","localConversation.contextCompacted":"سیاق و سباق خود بخود مختصر کر دیا گیا","localConversation.contextCompacting":"سیاق و سباق کو خود بخود مختصر کیا جا رہا ہے","localConversation.forkedFromConversation":"{threadTitle} سے فورک کیا گیا","localConversation.merge.autoResolve.failed":"خودکار حل کی درخواست کرنے میں ناکام: {error}","localConversation.merge.autoResolve.sent":"خودکار حل کی درخواست بھیج دی گئی","localConversation.merge.autoResolveMerge.missingConversation":"ایک فعال گفتگو کے بغیر خود کار طریقے سے حل کرنے سے قاصر ہے۔","localConversation.merge.autoResolveMerge.request":"انضمام کے تنازعات کو خود بخود حل کریں","localConversation.modelChanged":"ماڈل {fromModel} سے {toModel} میں تبدیل کر دیا گیا۔","localConversation.modelChanged.warning.line1":"گفتگو کے دوران ماڈل تبدیل کرنے سے کارکردگی متاثر ہوگی۔","localConversation.modelChanged.warning.line2":"سیاق و سباق خود بخود کم یا مختصر کیا جا سکتا ہے۔","localConversation.moveThread.createBranch.label":"برانچ بنائیں","localConversation.moveToLocal.disabled.loading":"لوڈ ہو رہی ہے…","localConversation.moveToLocal.modal.continue":"جاری رکھیں","localConversation.moveToLocal.modal.destinationLabel":"کو منتقل کریں","localConversation.moveToLocal.modal.retry":"دوبارہ کوشش کریں","localConversation.moveToWorktree.modal.back":"واپس جائیں","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"برانچ پہلے سے موجود ہے۔","localConversation.moveToWorktree.modal.branchesError":"برانچز لوڈ کرنے سے قاصر","localConversation.moveToWorktree.modal.branchesLoading":"برانچز لوڈ ہو رہی ہیں…","localConversation.moveToWorktree.modal.branchesRetry":"دوبارہ کوشش کریں","localConversation.moveToWorktree.modal.continue":"جاری رکھیں","localConversation.moveToWorktree.modal.retry":"دوبارہ کوشش کریں","localConversation.moveToWorktree.modal.trailingSlashError":"برانچ کا نام ’’/‘‘ کے ساتھ ختم نہیں ہوسکتا","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"نئی برانچ","localConversation.personalityChanged":"{personality} شخصیت پر تبدیل ہو گیا","localConversation.planSummary.collapse":"پلان کا خلاصہ ختم کریں","localConversation.planSummary.collapseTooltip":"منہدم کریں","localConversation.planSummary.download":"پلان ڈاوٴن لوڈ کریں","localConversation.planSummary.expand":"پلان کا خلاصہ پھیلائیں","localConversation.planSummary.expandTooltip":"توسیع دیں","localConversation.planSummary.openInNewWindow":"کھولیں","localConversation.planSummary.openInNewWindow.tooltip":"نیا ونڈو میں کھولیں","localConversation.planSummary.title":"منصوبہ","localConversation.planSummary.titleWriting":"تحریری منصوبہ","localConversation.planSummary.viewPlan":"پلان کو وسیع کریں","localConversation.remoteTaskCreated":"Codex Cloud میں {taskLink} بنایا گیا","localConversation.remoteTaskCreated.task":"ٹاسک","localConversation.scrollToBottomButton":"نیچے تک سکرول کریں","localConversation.sync.buttonLabel":"لوکل کے حوالے","localConversation.sync.buttonLabel.tooltip":"اس ورک ٹری اور اپنے مقامی چیک آؤٹ کے درمیان تبدیلیاں ختم کریں۔","localConversation.sync.modal.loading.title":"تبدیلیاں منتقل ہو رہی ہیں…","localConversation.sync.modal.noChanges":"کوئی تبدیلی نہیں","localConversation.syncSetup.branchAriaLabel":"برانڈ کا نام","localConversation.syncSetup.branchName":"برانڈ کا نام","localConversation.syncSetup.branchPlaceholder.existing":"موجودہ برانچ کو منتخب کریں","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"برانچز لوڈ ہو رہی ہیں…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"پہلے ہی چیک آؤٹ کر چکے ہیں","localConversation.syncSetup.checkoutClean":"فی الحال {branchName} پر","localConversation.syncSetup.checkoutDirty":"فی الحال {branchName} پر غیر ارتکاب تبدیلیوں کے ساتھ","localConversation.syncSetup.checkoutError":"برانڈ چیک کرنے میں ناکام:{message}","localConversation.syncSetup.checkoutLabel":"اب مقامی طور پر چیک کریں","localConversation.syncSetup.checkoutOnLocal":"لوکل کے حوالے","localConversation.syncSetup.checkoutPending":"مقامی اسٹیٹس کی جانچ ہو رہی ہے…","localConversation.syncSetup.checkoutUnavailable":"مقامی جائے کار دستیاب نہیں ہیں","localConversation.syncSetup.checkoutUnknown":"مقامی برانچ دستیاب نہیں ہے","localConversation.syncSetup.continue":"جاری رکھیں","localConversation.syncSetup.createBranchError":"حوالے کرتے وقت برانچ سیٹ کرنے میں ناکام:{message}","localConversation.syncSetup.error":"کوئی غلطی ہوئی ہے: {message}","localConversation.syncSetup.error.workingTreeMissing":"ورک ٹری کو اسنیپ شاٹ کرنے سے قاصر ہے۔ براہ کرم حوالے کرنے کی دوبارہ کوشش کریں۔","localConversation.syncSetup.mode.ariaLabel":"برانچ موڈ منتخب کریں","localConversation.syncSetup.mode.existing":"موجودہ برانچ","localConversation.syncSetup.mode.new":"نئی برانچ ","localConversation.syncSetup.noBranches":"کوئی برانچز نہیں ملی","localConversation.syncSetup.overwriteError":"برانچ بنائی گئی تھی لیکن مکمل طور پر بند نہیں کی گئی ہے۔ مقامی طور پر چیک آؤٹ کرنے سے پہلے دستی طور پر ہینڈ آف کریں۔","localConversation.syncSetup.setPrefix":"پریفکس مرتب کریں","localConversation.syncSetup.subtitle":"مقامی طور پر ورک ٹری تبدیلیوں کی جانچ اور تدوین کریں۔ <a>مزید جانیں</a>","localConversation.syncSetup.success.checkedOut":"برانچ بنائی گئی تھی اور اسے مقامی طور پر چیک کیا جاتا ہے","localConversation.syncSetup.success.notCheckedOut":"برانچ بنائی","localConversation.syncSetup.title":"لاکل برانچ کے حوالے کریں","localConversation.syncWorktreeError.branchAriaLabel":"برانڈ کا نام","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"حوالے کرنے کے لیے ایک برانچ کا انتخاب کریں، پھر تبدیلیاں لوڈ کرنے کی دوبارہ کوشش کریں۔","localConversation.syncWorktreeError.branchSetup.title":"برانچ اپ ڈیٹ کریں","localConversation.syncWorktreeError.branchUpdate.cta":"اپ ڈیٹ کریں اور دوبارہ کوشش کریں","localConversation.syncWorktreeError.branchUpdate.error":"برانچ کو اپ ڈیٹ کرنے میں ناکام:{message}","localConversation.syncWorktreeError.branchUpdate.unknown":"کوئی غلطی ہوئی ہے: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"کسی بھی ورک ٹری میں برانچ کو چیک آؤٹ نہیں کیا جاتا ہے۔","localConversation.syncWorktreeV2.applyUncommitted":"اطلاق کریں","localConversation.syncWorktreeV2.applyUncommitted.disabled":"غیر ارتکاب شدہ تبدیلیاں لاگو کرنے کے لیے آپ کو مقامی طور پر برانچ کو چیک کرنا چاہیے۔","localConversation.syncWorktreeV2.branches.empty":"کوئی برانچز نہیں ملی","localConversation.syncWorktreeV2.branches.loading":"برانچز لوڈ ہو رہی ہیں…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"حوالے کرتے وقت برانچ کو تبدیل کریں","localConversation.syncWorktreeV2.changeBranch.error":"حوالے کرتے وقت برانچ کو تبدیل کرنے میں ناکام:{message}","localConversation.syncWorktreeV2.commandError.action.apply":"اطلاق کرنے میں ناکام","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"ورک ٹری کو اوور رائٹ کرنا ناکام ہوگیا","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"لوکل کو اوور رائٹ کرنے میں ناکام","localConversation.syncWorktreeV2.commandError.back":"واپس جائیں","localConversation.syncWorktreeV2.commandError.body":"ایک گٹ کمانڈ حوالے کرتے وقت ناکام ہوگئی۔ آؤٹ پٹ کا جائزہ لیں اور دوبارہ کوشش کریں۔","localConversation.syncWorktreeV2.commandError.retry":"دوبارہ کوشش کریں","localConversation.syncWorktreeV2.description":"مقامی اور اس ورک ٹری کے درمیان تبدیلیاں ختم کریں<a> مزید جانیں</a>","localConversation.syncWorktreeV2.direction.ariaLabel":"حوالے کرتے وقت سمت کا انتخاب کریں","localConversation.syncWorktreeV2.error.generic":"حوالے کرتے وقت کچھ غلط ہو گیا۔ دوبارہ کوشش کریں۔","localConversation.syncWorktreeV2.localBranchLabel":"لوکل","localConversation.syncWorktreeV2.noChanges":"تبدیلیوں کا حساب لگانا","localConversation.syncWorktreeV2.noChanges.summary":"کوئی تبدیلی نہیں","localConversation.syncWorktreeV2.overwrite.local":"لوکل کو اوور رائٹ کریں","localConversation.syncWorktreeV2.overwrite.worktree":"ورک ٹری کو اوور رائٹ کریں","localConversation.syncWorktreeV2.partial.action.applyFailed":"تبدیلیاں لاگو نہیں ہو سکیں","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"مقامی تبدیلیوں کو اوور رائٹ نہیں کیا جا سکا","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"ورک ٹری کی تبدیلیوں کو اوور رائٹ نہیں کیا جا سکا","localConversation.syncWorktreeV2.partial.appliedLabel":"لاگو ہوگیا","localConversation.syncWorktreeV2.partial.back":"واپس جائیں","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"تنازعات کو حل کریں اور دوبارہ کوشش کریں۔","localConversation.syncWorktreeV2.partial.conflictsLabel":"تنازعات","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, one {# فائل} other {# فائلیں}}","localConversation.syncWorktreeV2.partial.retry":"دوبارہ کوشش کریں","localConversation.syncWorktreeV2.partial.skippedLabel":"چھوڑ دیا","localConversation.syncWorktreeV2.stateFailed.generic":"ورک ٹری کی تبدیلیوں کو حوالے کرتے وقت  کرنے کے لیے لانے کے دوران کچھ غلط ہو گیا۔ براہ کرم دوبارہ کوشش کریں۔","localConversation.syncWorktreeV2.stateFailed.title":"ورک ٹری تبدیلیاں لوڈ کرنے میں ناکام","localConversation.syncWorktreeV2.statusError.diffUnknown":"ورک ٹری تبدیلیاں لوڈ کرنے میں ناکام۔","localConversation.syncWorktreeV2.statusError.retry":"دوبارہ کوشش کریں","localConversation.syncWorktreeV2.statusError.title":"مقامی برانچ کی تبدیلیاں لوڈ کرنے سے قاصر","localConversation.syncWorktreeV2.statusError.unknown":"برانچ اسٹیٹس ابھی دستیاب نہیں ہے۔ دوبارہ کوشش کریں۔","localConversation.syncWorktreeV2.success.apply":"تبدیلیاں کامیابی سے لاگو کی گئیں","localConversation.syncWorktreeV2.success.overwrite":"حوالگی کا عمل کامیابی سے مکمل ہو گیا","localConversation.syncWorktreeV2.title":"تبدیلیاں حوالے کریں","localConversation.syncWorktreeV2.worktreeLabel":"ورک ٹری","localConversation.userInputRequest.inProgress":"{count, plural, one {سوال} other {سوالات}}پوچھ رہا ہے","localConversation.userInputRequest.noAnswer":"کوئی جواب نہیں دیا گیا","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"پوچھا","localConversation.userInputRequest.summary.count":"{count, plural, one {# سوال} other {#سوالات}}","localConversation.workedFor":"{time} کے لیے کام کیا","localConversation.worktreeBranchSetup.action.create":"بنائیں","localConversation.worktreeBranchSetup.branchAriaLabel":"برانڈ کا نام","localConversation.worktreeBranchSetup.branchPlaceholder.new":"نئی برانچ بنائیں","localConversation.worktreeBranchSetup.checkoutDisabled":"یہ برانچ پہلے ہی {location} پر چیک آؤٹ کر چکی ہے","localConversation.worktreeBranchSetup.checkoutError":"برانڈ چیک کرنے میں ناکام:{message}","localConversation.worktreeBranchSetup.createBranchError":"برانچ سیٹ کرنے میں ناکام:{message}","localConversation.worktreeBranchSetup.error":"کوئی غلطی ہوئی ہے: {message}","localConversation.worktreeBranchSetup.subtitle":"اس ورک ٹری سے تبدیلیاں کرنے، آگے بڑھانے اور PR بنانے کے لیے ایک برانچ بنائیں۔ <a>مزید جانیں</a>","localConversation.worktreeBranchSetup.title":"یہاں کام کریں","localConversationPage.addWorktreeToSidebar.tooltip":"ایک پروجیکٹ کے طور پر محفوظ کریں تاکہ آپ اس ورک ٹری سے نئے تھریڈز شروع کر سکیں","localConversationPage.addWorktreeToSidebarError":"پروجیکٹ شامل کرنے میں ناکام","localConversationPage.commitAndCreatePrModal.errorTitle":"عزم اور PR بنانے میں ناکام ہو گیا","localConversationPage.commitAndCreatePrModal.successTitle":"پرعزم اور PR بنایا","localConversationPage.commitAndPushModal.errorTitle":"کمٹ اور پش ناکام ہو گیا","localConversationPage.commitAndPushModal.successTitle":"پرعزم اور تبدیلیوں کو آگے بڑھایا","localConversationPage.commitCreatePr.open":"کھینچنے کی درخواست کھولیں","localConversationPage.commitCreatePr.successTitle":"آپ کی تازہ ترین تبدیلیوں کے ساتھ PR بنایا","localConversationPage.createBranchButtonLabel":"یہاں برانچ بنائیں","localConversationPage.createPrModal.baseBranch":"بیس","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"PR بنائیں","localConversationPage.createPrModal.createDescription":"اپنی تازہ ترین تبدیلیوں کے لیے پل کی درخواست کھولیں۔","localConversationPage.createPrModal.errorTitle":"پل کی درخواست ناکام رہی","localConversationPage.createPrModal.headBranch":"منتظمِ اعلیٰ","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Open PR","localConversationPage.createPrModal.successTitle":"پُل ریکویسٹ بنایا گیا","localConversationPage.createPrModal.title":"پُل ریکویسٹ بنائیں","localConversationPage.createPrModal.viewDescription":"اس برانچ کے لیے ایک پل کی درخواست پہلے سے موجود ہے۔","localConversationPage.createPrModal.viewTitle":"پل کی درخواست تیار ہے","localConversationPage.createPullRequestAuthGh":"GitHub CLI کی توثیق کریں: `gh auth login` چلائیں","localConversationPage.createPullRequestBranchMissing":"برانچ کی معلومات دستیاب نہیں ہے","localConversationPage.createPullRequestButtonLabel":"PR بنائیں","localConversationPage.createPullRequestButtonLabel.loading":"PR بنایا جا رہا ہے…","localConversationPage.createPullRequestDefaultBranchMissing":"پہلے سے طے شدہ برانچ کی معلومات دستیاب نہیں ہے","localConversationPage.createPullRequestError":"پُل ریکویسٹ بنانے میں ناکامی ہوئی","localConversationPage.createPullRequestExistingPullRequest":"اس برانچ کے لیے ایک پل کی درخواست پہلے سے موجود ہے","localConversationPage.createPullRequestGhStatusMissing":"GitHub CLI اسٹیٹس لوڈ ہو رہا ہے…","localConversationPage.createPullRequestInstallGh":"PRs بنانے کے لیے GitHub CLI (gh) انسٹال کریں","localConversationPage.createPullRequestNoRepo":"کوئی git ریپازٹری نہیں ملی","localConversationPage.createPullRequestPushStatusMissing":"پُش اسٹیٹس لوڈ ہو رہا ہے...","localConversationPage.createPullRequestSetUpstream":"PR بنانے سے پہلے اس برانچ کو پُش کریں","localConversationPage.createPullRequestSuccessToast":"پُل ریکویسٹ بنایا گیا","localConversationPage.createPullRequestSwitchBranch":"PR بنانے سے پہلے فیچر برانچ چیک کریں","localConversationPage.error.render":"مقامی گفتگو رینڈر کرنے میں خرابی پیش آگئی","localConversationPage.error.toast":"گفتگو نہیں ملی","localConversationPage.forcePushError":"زبردستی پُش میں ناکام","localConversationPage.generatePullRequestMessageError":"پل درخواست کا عنوان اور باڈی بنانے میں ناکام","localConversationPage.generatePullRequestMessageFailed":"پل درخواست کا عنوان اور باڈی بنانے میں ناکام","localConversationPage.gitActionResult.branch":"برانچ","localConversationPage.gitActionResult.cancel":"منسوخ کریں","localConversationPage.gitActionResult.close":"بند کریں","localConversationPage.gitActionResult.tryAgain":"دوبارہ کوشش کریں","localConversationPage.gitActions":"Git کارروائیاں","localConversationPage.newChat":"نئی چیٹ","localConversationPage.openInTarget":"اس میں کھولیں","localConversationPage.openPrimaryTarget":"کھولیں","localConversationPage.planItemsCompleted":"{totalItems, plural, one {# ٹاسک مکمل ہو گیا} other {# ٹاسکس مکمل ہوگئے}} میں سے {completedItems}","localConversationPage.pushAuthError":"پُش ناکام: تصدیق درکار ہے","localConversationPage.pushBranchMissing":"برانچ کی معلومات دستیاب نہیں ہے","localConversationPage.pushButtonLabel":"پش","localConversationPage.pushButtonLabel.loading":"پُشنگ...","localConversationPage.pushError":"تبدیلیاں پُش کرنے میں ناکامی","localConversationPage.pushModal.branchLabel":"برانچ","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"منسوخ کریں","localConversationPage.pushModal.confirm":"پش","localConversationPage.pushModal.description":"اپنے تازہ ترین کمٹس کو ریموٹ ریپوزٹری میں بھیجیں۔","localConversationPage.pushModal.errorTitle":"ناکام شدہ پش","localConversationPage.pushModal.forcePush":"زبردستی پش","localConversationPage.pushModal.successTitle":"پش مکمل","localConversationPage.pushModal.title":"پُش تبدیلیاں","localConversationPage.pushModal.tryAgain":"دوبارہ کوشش کریں","localConversationPage.pushNoUpstream":"اس برانچ کو پُش کرنے سے پہلے اَپ اسٹریم سیٹ کریں۔","localConversationPage.pushNoUpstreamError":"پُش ناکام: کوئی اپ اسٹریم کنفیگر نہیں ہے","localConversationPage.pushNothingToPush":"پُش کرنے کے لیے کوئی نئی کمٹس نہیں ہیں","localConversationPage.pushRemoteChangedError":"پُش ناکام: ریموٹ میں نئی ​​کمٹس ہیں","localConversationPage.pushRemoteRejectedError":"ریموٹ سے پُش کو مسترد کردیا گیا","localConversationPage.pushStatusMissing":"پُش اسٹیٹس لوڈ ہو رہا ہے...","localConversationPage.pushSuccessToast":"تبدیلیاں کی گئی ہیں","localConversationPage.viewPullRequestButtonLabel":"PR دیکھیں","localConversationPage.viewPullRequestButtonLabel.loading":"پل کی درخواست لوڈ ہو رہی ہے…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, one {# فائل} other {# فائلیں}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, one {# فہرست} other {# فہرستیں}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, one {# تلاش} other {# تلاش}}</countText>","localConversationTurn.exploration.accordion.count.separator":"،","localConversationTurn.exploration.accordion.header.active":"دریافت کیا جارہا ہے","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"دریافت کیا گیا","localConversationTurn.exploration.accordion.header.complete.withCounts":"{counts} کو دریافت کیا گیا","localConversationTurnStory.showContent":"مواد دکھائیں","localConversationTurnStory.streamContent":"مواد دیکھیں","localConversationTurnStory.toggleReasoning":"استدلال دکھائیں","localTaskRow.archiveError":"گفتگو آرکائیو نہیں کی جا سکی","localTaskRow.resumeError":"ٹاسک دوبارہ شروع کرنے میں ناکامی","mermaidDiagram.ariaLabel":"مرمیڈ ڈائیگرام","mermaidDiagram.copySource":"مرمیڈ کو کاپی کریں","mermaidDiagram.originalCode":"مرمیڈ سورس کوڈ","notifications.permissions.description":"جب اطلاع کی اجازت درکار ہو تو الرٹس دکھائیں","notifications.permissions.label":"اجازت کی اطلاعات فعال کریں","notifications.turnMode.always":"ہمیشہ","notifications.turnMode.description":"سیٹ کریں جب Codex آپ کو متنبہ کرے کہ یہ ختم ہو گیا ہے","notifications.turnMode.label":"تکمیل کی اطلاعات آن کریں","notifications.turnMode.off":"کبھی نہیں","notifications.turnMode.unfocused":"صرف جب توجہ مرکوز نہ ہو","patchApprovalRequest.approve":"منظور کریں","patchApprovalRequest.menu.allowAlways":"ہاں، اس سیشن میں دوبارہ پوچھنے کی ضرورت نہیں","patchApprovalRequest.menu.allowForSession":"ہاں، اس سیشن میں دوبارہ پوچھنے کی ضرورت نہیں","patchApprovalRequest.menu.allowOnce":"ہاں","patchApprovalRequest.prompt":"کیا آپ یہ تبدیلیاں کرنا چاہتے ہیں؟","patchApprovalRequest.reject":"نہیں","patchApprovalRequest.waitingForApproval":"فائلوں میں ترمیم کرنے کے لیے منظوری کا انتظار ہے","pendingRequest.approvalExec.collapse":"منہدم کریں","pendingRequest.approvalExec.expand":"توسیع دیں","pendingRequestStory.toastAnswer":"جواب:{answer}","pendingRequestStory.toastApprovalTitle":"منظورانہ جواب","pendingRequestStory.toastFollowupPrompt":"پرامپٹ: {prompt}","pendingRequestStory.toastFollowupTitle":"فالو اپ بھیجا گیا","pendingRequestStory.toastNoAnswers":"کوئی جواب نہیں دیا گیا","pendingRequestStory.toastQuestion":"سوال :{question}","pendingRequestStory.toastUnknownDecision":"نامعلوم","pendingRequestStory.toastUserInputTitle":"جمع کرائے گئے جوابات","quickAction.request.codeReview.branches.new":"براہ کرم {to} کے خلاف {from} پر تبدیلیوں کا جائزہ لیں","quickAction.request.codeReview.uncommitted.new":"براہ کرم میری غیر محفوظ شدہ تبدیلیوں کا جائزہ لیں","reasoningItem.thinking":"سوچ رہا ہے","reasoningItem.thought":"سوچا","reasoningItem.thoughtWithElapsed":"{elapsed} کے لیے سوچا","recentConversations.title":"حالیہ گفتگو","recentTasks.worktreeInitFailedTitle":"ورک ٹری کی شروعات ناکام ہوگئی","recentTasks.worktreeSettingUpTitle":"ورک ٹری کو ترتیب دینا","requestInputPanel.continue":"جاری رکھیں","requestInputPanel.dismiss":"چھوڑ دیں","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"یہاں ٹائپ کریں","requestInputPanel.optionIndex":"{index}۔","requestInputPanel.otherPlaceholder":"نہیں، اور Codex کو بتائیں کہ مختلف طریقے سے کیا کرنا ہے","requestInputPanel.selectedBadge":"منتخب کردہ","requestInputPanel.skip":"چھوڑ دیں","requestInputPanel.submit":"جمع کرائیں","review.commit.ariaLabel.includeUnstaged":"غیر مرحلہ کردہ تبدیلیاں شامل کریں","review.commit.buttonLabel":"کمِٹ","review.commit.disabled.committing":"عزم کر رہا ہے...","review.commit.disabled.loadingDiff":"لوڈ کر رہا ہے…","review.commit.disabled.missingContext":"کمٹ کا پیغام بنانے کے لیے کچھ سیاق و سباق شامل کریں","review.commit.disabled.noChanges":"ارتکاب کے لیے کوئی تبدیلی نہیں ہے","review.commit.disabled.noSelection":"کمٹ کرنے کے لیے تبدیلیاں منتخب کریں","review.commit.disabled.unavailable":"کمٹ فی الحال دستیاب نہیں ہے","review.commit.error":"تبدیلیاں نہیں کی جا سکیں","review.commit.form.changesToBeCommitted":"تبدیلیاں","review.commit.form.commitTo":"برانچ","review.commit.form.commitTo.none":"-","review.commit.form.continue":"جاری رکھیں","review.commit.form.title":"اپنی تبدیلیوں کا عہد کریں","review.commit.generate.emptyResponse":"کمٹ کا پیغام نہیں بنایا جا سکا۔","review.commit.generate.failed":"کمٹ کا پیغام بنانے میں ناکام:{error}","review.commit.generate.missingPrompt":"کمٹ  کا پیغام بنانے کے لیے کچھ سیاق و سباق شامل کریں۔","review.commit.includeUnstaged":"غیر مرحلہ کردہ تبدیلیاں شامل کریں","review.commit.loading.description":"مضبوطی سے تھامیں، اس میں کچھ لمحات لگ سکتے ہیں…","review.commit.loading.step.commit.done":"انجام دی گئی تبدیلیاں","review.commit.loading.step.commit.pending":"تبدیلیاں انجام دی جا رہی ہیں","review.commit.loading.step.createPr.done":"پُل ریکویسٹ بنادی گئی","review.commit.loading.step.createPr.pending":"پُل ریکویسٹ بنائی جا رہی ہے…","review.commit.loading.step.push.done":"برانچ {branch} پر بھیج دیا گیا","review.commit.loading.step.push.pending":"برانچ {branch} پر بھیجا جا رہا ہے","review.commit.loading.title.commit":"تبدیلیاں انجام دی جا رہی ہیں","review.commit.loading.title.createPr":"PR بنانا","review.commit.loading.title.push":"تبدیلیاں بھیجی جا رہی ہیں","review.commit.messageLabel":"کمِٹ کا پیغام","review.commit.messagePlaceholder":"کمٹ میسج کو خودکار بنانے کے لیے خالی چھوڑ دیں","review.commit.nextSteps":"اگلے مراحل","review.commit.nextSteps.commit":"عزم","review.commit.nextSteps.commitAndCreate":"عزم کریں اور PR بنائیں","review.commit.nextSteps.commitAndPush":"عزم اور پش ناکام ہو گیا","review.commit.nextSteps.prRequiresGh":"GitHub CLI کی ضرورت ہے:{command}","review.commit.rows.changes":"تبدیلیاں","review.commit.rows.commitCount":"{count, plural, one {# کمِٹ} other {#کمٹس}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, one {# کمِٹ} other {#کمٹس}} اور {stats}","review.commit.rows.fileCount":"{count, plural, one {# فائل} other {# فائلیں}}","review.commit.state.error.body":"ارتکاب کرتے وقت کچھ غلط ہو گیا۔ اپنی گٹ اسٹیٹس چیک کریں اور دوبارہ کوشش کریں۔","review.commit.state.error.title":"عزم ناکام ہو گیا","review.commit.state.success.title":"تبدیلیاں کی گئیں","review.commit.untracked.loadingStats":"غیر ٹریک شدہ فرق کے اعدادوشمار لوڈ ہو رہے ہیں…","reviewFindingAttachments.count":"{count, plural, one {# نتیجہ} other {# نتائج}}","settings.agent.configuration.configToml":"اور سینڈ باکس کی پالیسیوں","settings.agent.configuration.configToml.description":"ایجنٹ کے رویے کو حسبِ ضرورت بنانے کے لیے اپنی کنفیگریشن میں ترمیم کریں","settings.agent.configuration.configToml.docs":"دستاویزات","settings.agent.configuration.subtitle":"یہ ترتیبات کسی بھی جگہ پر لاگو ہوتی ہیں جہاں Codex استعمال ہوتا ہے","settings.automations.banner.danger":'"خودکار عمل آٹومیشنز آپ کی ڈیفالٹ سینڈ باکس سیٹنگز کے ساتھ چلتے ہیں، جو اس وقت مکمل رسائی پر سیٹ ہیں۔ مکمل رسائی کے ساتھ پسِ منظر میں آٹومیشنز چلانے میں زیادہ خطرہ ہوتا ہے، کیونکہ Codex فائلیں تبدیل کر سکتا ہے، کمانڈز چلا سکتا ہے، اور نیٹ ورک تک بغیر اجازت رسائی حاصل کر سکتا ہے۔ سینڈ باکس سیٹنگز کو جائے کار لکھنے  پر اپ ڈیٹ کرنے پر غور کریں، اور<rulesDocsLink> قواعد</rulesDocsLink>استعمال کریں تاکہ یہ طے کیا جا سکے کہ ایجنٹ کونسی کمانڈز مکمل رسائی کے ساتھ چلا سکتا ہے۔"',"settings.automations.banner.defaultHowTo.default":"خودکار عمل آٹومیشنز آپ کی ڈیفالٹ سینڈ باکس سیٹنگز کے ساتھ چلتے ہیں۔ اگر کسی ٹول کو جائے کار کے باہر فائلیں تبدیل کرنے، نیٹ ورک تک رسائی حاصل کرنے، یا آپ کے کمپیوٹر پر ایپس کے ساتھ کام کرنے کی ضرورت ہو تو وہ ناکام ہو جائیں گے۔ آپ<rulesDocsLink> قواعد</rulesDocsLink> استعمال کر کے منتخب کمانڈز کو سینڈ باکس کے باہر چلانے کی اجازت دے سکتے ہیں۔","settings.automations.banner.defaultHowTo.readOnly":"خودکار عمل آٹومیشنز آپ کی ڈیفالٹ سینڈ باکس سیٹنگز کے ساتھ چلتے ہیں، جو اس وقت صرف پڑھنے کی اجازت پر سیٹ ہیں۔ اگر کسی ٹول کو فائلیں تبدیل کرنے، نیٹ ورک تک رسائی حاصل کرنے، یا آپ کے کمپیوٹر پر ایپس کے ساتھ کام کرنے کی ضرورت ہو تو وہ ناکام ہو جائیں گے۔ سینڈ باکس سیٹنگز کو ورک اسپیس لکھنے پر اپ ڈیٹ کرنے پر غور کریں۔","settings.automations.cancel":"منسوخ کریں","settings.automations.create":"بنائیں","settings.automations.cwdEmpty":"کوئی پروجیکٹ فولڈر دستیاب نہیں ہے","settings.automations.cwdLabel":"پراجیکٹس/منصوبے","settings.automations.cwdPlaceholder":"ایک فولڈر منتخب کریں","settings.automations.cwdSubtitle":"اگر آپ کسی مخصوص برانچ پر آٹومیشن چلانا چاہتے ہیں، تو آپ اسے اپنے پرامپٹ میں بتا سکتے ہیں۔","settings.automations.delete":"حذف کریں","settings.automations.dialog.editTitle":"آٹومیشن میں ترمیم کریں","settings.automations.dialog.newTitle":"نئی آٹومیشن","settings.automations.dialog.subtitle":"پس منظر میں بار بار ہونے والے کاموں کو خودکار بنائیں آٹومیشنز۔ Codex نتائج کو ان باکس میں شامل کرتا ہے، یا اگر رپورٹ کرنے کے لیے کچھ نہ ہو تو خودکار طور پر کام کو آرکائیو کر دیتا ہے۔<learnMoreLink> مزید جانیں</learnMoreLink>","settings.automations.dialog.title":"آٹومیشن بنائیں","settings.automations.executionCopy.git":"آٹومیشنز مخصوص ورک ٹریز پر پس منظر میں چلتی ہیں۔","settings.automations.executionCopy.nonGit":"غیر ورژن کنٹرول شدہ پراجیکٹس میں آٹومیشنز براہِ راست پراجیکٹ ڈائریکٹری میں چلتی ہیں۔ پس منظر میں ورک ٹریز پر چلانے کے لیے Git استعمال کرنے پر غور کریں۔","settings.automations.executionEnvironment.local":"لوکل","settings.automations.executionEnvironment.worktree":"ورک ٹری","settings.automations.loading":"لوڈ ہو رہی ہے…","settings.automations.nameLabel":"نام","settings.automations.namePlaceholder":"سنٹری کے مسائل کی جانچ کریں","settings.automations.pause":"روکیں","settings.automations.promptLabel":"پرامپٹ","settings.automations.promptPlaceholder":"$Sentryمیں کریشز تلاش کریں","settings.automations.resume":"دوبارہ شروع کریں","settings.automations.rruleSummaryFallback":"حسبِ ضرورت شیڈول","settings.automations.runNow":"امتحان","settings.automations.save":"محفوظ کریں","settings.automations.scheduleBadge.dayCount":"{count}d","settings.automations.scheduleBadge.interval":"{count}h","settings.automations.scheduleBadge.weekdays":"ہفتے کے پہلے ۵ دن","settings.automations.scheduleBadge.weekends":"ہفتے کے آخری ۲ دن","settings.automations.scheduleHeader":"شیڈول کریں","settings.automations.scheduleHours":"گھنٹے","settings.automations.scheduleLabel":"رن کریں ہر","settings.automations.scheduleMode.daily":"روز","settings.automations.scheduleMode.interval":"وقفہ","settings.automations.scheduleModeLabel":"شیڈول کی قسم","settings.automations.scheduleSummary.daily":"روز {time} کو","settings.automations.scheduleSummary.interval":"ہر {count}گھنٹہ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, one {# دن} other {# دن}}","settings.automations.scheduleSummary.intervalDays":"{interval} پر {days}","settings.automations.scheduleSummary.intervalHourly":"گھنٹہ وار","settings.automations.scheduleSummary.singleDay":"{day} بوقت {time}","settings.automations.scheduleSummary.weekdays":"ہفتے کے دن {time} پر","settings.automations.scheduleSummary.weekdaysLabel":"ہفتے کے دن","settings.automations.scheduleSummary.weekends":"ہفتہ وار تعطیلات {time} پر","settings.automations.scheduleSummary.weekendsLabel":"اختتام ہفتہ","settings.automations.scheduleSummary.weekly":"{days} بوقت {time}","settings.automations.scheduleWeekdays":"آن","settings.automations.weekdayState.excluded":"خارج","settings.automations.weekdayState.included":"شامل","settings.conversationDetail.steps":"مراحل","settings.conversationDetail.steps.description":"کمانڈز اور آؤٹ پٹ چھپائیں","settings.conversationDetail.stepsWithCommands":"کوڈ کمانڈز کے ساتھ اقدامات","settings.conversationDetail.stepsWithCommands.description":"کمانڈز دکھائیں، آؤٹ پٹ کو ختم کریں","settings.conversationDetail.stepsWithOutput":"کوڈ آؤٹ پٹ کے ساتھ اقدامات","settings.conversationDetail.stepsWithOutput.description":"کمانڈز دکھائیں اور آؤٹ پٹ کو بڑھائیں","settings.dataControls.archivedChats.dateTime":"{date}، {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}، {time} • {repo}","settings.dataControls.archivedChats.empty":"کوئی آرکائیو شدہ چیٹس نہیں ہیں۔","settings.dataControls.archivedChats.error":"محفوظ شدہ چیٹس کو لوڈ نہیں کیا جا سکا۔","settings.dataControls.archivedChats.loading":"آرکائیو شدہ چیٹس کو لوڈ کیا جا رہا ہے…","settings.dataControls.archivedChats.unarchive":"محفوظ شدہ حالت سے ہٹائیں","settings.dataControls.archivedChats.unarchiveError":"چیٹ کو آرکائیو کرنے میں ناکام","settings.dataControls.archivedChats.unarchiveSuccess":"غیر محفوظ شدہ تھریڈ۔ <viewNowLink>ابھی دیکھیں </viewNowLink>","settings.dataControls.archivedChats.untitled":"بلا عنوان چیٹ","settings.editRow.headerPlaceholder":"کلید","settings.editRow.removeEntry":"انٹری ہٹائیں","settings.editRow.valuePlaceholder":"قدر","settings.general.appearance":"شکل و صورت","settings.general.appearance.codeFont":"کوڈ فونٹ","settings.general.appearance.codeFont.description":"چیٹس اور ڈیفس میں کوڈ کے لیے استعمال ہونے والے فونٹ اور سائز کو ایڈجسٹ کریں۔","settings.general.appearance.codeFontFamily":"کوڈ فونٹ فیملی","settings.general.appearance.codeFontSize":"کوڈ فونٹ کا سائز","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"ونڈوز کو سسٹم کی شفافیت کے بجائے ٹھوس پس منظر کا استعمال کریں۔","settings.general.appearance.opaqueWindows.label":"مبہم ونڈو کا پس منظر استعمال کریں","settings.general.appearance.sansFontFamily":"Sans فونٹ فیملی","settings.general.appearance.sansFontFamily.description":"Codex UI کے لیے استعمال ہونے والے فونٹ کو ایڈجسٹ کریں","settings.general.appearance.sansFontSize":"Sans فونٹ سائز","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"جب GPT‑5.3‑Codex‑Spark پہلی بار چل رہا ہو تو پورے ونڈو میں جشن کے ایفیکٹس دکھائیں۔","settings.general.appearance.sparkCelebrationEffects.label":"جشن کے چمکدار ایفیکٹس","settings.general.appearance.theme":"تھیم","settings.general.appearance.theme.dark":"ڈارک","settings.general.appearance.theme.description":"روشنی، اندھیرا استعمال کریں یا اپنے سسٹم سے مماثل ہوں","settings.general.appearance.theme.light":"لائٹ","settings.general.appearance.theme.system":"سسٹم","settings.general.appearance.usePointerCursors.description":"انٹرایکٹو عناصر پر ہوورنگ کرتے وقت کرسر کو پوائنٹر میں تبدیل کریں","settings.general.appearance.usePointerCursors.label":"پوائنٹر کرسر استعمال کریں","settings.general.enterBehavior.description":"جب فعال ہو، تو کثیر السطری پرومپٹس بھیجنے کے لیے {modifierSymbol} + انٹر دبانا ضروری ہے۔","settings.general.enterBehavior.label":"لمبے پرومپٹس بھیجنے کے لیے {modifierSymbol} + انٹر دبائیں","settings.general.experimentalFeatures":"تجرباتی خصوصیات (بیٹا)","settings.general.experimentalFeatures.empty":"کوئی بیٹا تجرباتی خصوصیات دستیاب نہیں ہیں۔","settings.general.experimentalFeatures.loading":"تجرباتی خصوصیات لوڈ ہو رہی ہیں…","settings.general.experimentalFeatures.restartNote":"تجرباتی خصوصیت کی تبدیلیوں کو لاگو کرنے کے لیے Codex کو دوبارہ شروع کریں۔","settings.general.experimentalFeatures.toggle":"ٹوگل {featureName}","settings.general.followUpQueueMode.description":"Codex کے چلنے کے دوران فالو اپ کو قطار میں لگائیں یا موجودہ رن میں خلل ڈالیں۔","settings.general.followUpQueueMode.interrupt":"چلانا","settings.general.followUpQueueMode.label":"رویہ فالو اپ کریں","settings.general.followUpQueueMode.queue":"قطار","settings.general.notifications":"اطلاعات","settings.general.power.preventSleepWhileRunning.description":"جب Codex تھریڈ چلا رہا ہو تو اپنے کمپیوٹر کو چالو رکھیں۔","settings.general.power.preventSleepWhileRunning.label":"چلانے کے دوران سلیپ کو روکے رکھیں","settings.git.branchPrefix.ariaLabel":"برانچ پریفکس","settings.git.branchPrefix.description":"Codex میں نئی ​​شاخیں بناتے وقت استعمال ہونے والا برانچ پریفکس","settings.git.branchPrefix.label":"برانچ پریفکس","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"برانچ پریفکس ​​محفوظ کرنے میں ناکام","settings.git.branchPrefix.save.success":"برانچ پریفکس محفوظ کیا","settings.git.commitInstructions.ariaLabel":"ہدایات کا ارتکاب کریں","settings.git.commitInstructions.description":"پیغام جنریشن پرامپٹس میں شامل کیا گیا","settings.git.commitInstructions.label":"ہدایات کا ارتکاب کریں","settings.git.commitInstructions.placeholder":"کمٹ کا پیغام گائیڈنس شامل کریں…","settings.git.commitInstructions.save":"محفوظ کریں","settings.git.commitInstructions.save.error":"کمٹ کی ہدایات کو محفوظ کرنے میں ناکام","settings.git.commitInstructions.save.success":"محفوظ کردہ کمٹ ہدایات","settings.git.forcePush.ariaLabel":"ہمیشہ فورس پُش","settings.git.forcePush.description":"Codex پُشنگ کے وقت --force-with-lease کا استعمال کریں","settings.git.forcePush.label":"ہمیشہ فورس پُش","settings.git.forcePush.save.disabled":"ہمیشہ فورس پُش کو غیر فعال کردیا گیا","settings.git.forcePush.save.enabled":"ہمیشہ فورس پُش کو فعال کردیا گیا","settings.git.forcePush.save.error":"فورس پش سیٹنگ کو محفوظ کرنے میں ناکام","settings.git.prInstructions.ariaLabel":"پل درخواست کی ہدایات","settings.git.prInstructions.description":"Codex کی جانب سے بنائی گئی پل ریکویسٹ کو باڈی میں شامل کیا گیا","settings.git.prInstructions.label":"پل درخواست کی ہدایات","settings.git.prInstructions.placeholder":"پل کی درخواست کی رہنمائی شامل کریں…","settings.git.prInstructions.save":"محفوظ کریں","settings.git.prInstructions.save.error":"پل درخواست کی ہدایات کو محفوظ کرنے میں ناکام","settings.git.prInstructions.save.success":"پل درخواست کی ہدایات کو محفوظ","settings.ide.defaultOpenTarget.description":"جہاں فائلیں اور فولڈرز بطور ڈیفالٹ کھلتے ہیں","settings.ide.defaultOpenTarget.label":"کھلنے کی ڈیفالٹ منزل","settings.ide.defaultOpenTarget.placeholder":"کوئی ہدف نہیں ملا","settings.ide.language.auto":"خود کار طریقے سے پتہ لگائیں","settings.ide.language.autoOption":"خود کار طریقے سے پتہ لگائیں","settings.ide.language.description":"ایپ UI کے لیے زبان","settings.ide.language.label":"زبان","settings.ide.language.search":"زبانیں تلاش کریں","settings.layout.actionButton":"ایکسٹینشن دوبارہ شروع کریں","settings.layout.actionTitle":"کارروائی کے ساتھ ترتیبات","settings.layout.fullWidthTitle":"ترتیبات (مکمل چوڑائی)","settings.layout.title":"ترتیبات","settings.localEnvironments.actions.add":"کارروائی شامل کریں","settings.localEnvironments.actions.add.description":"ٹول بار سے چلانے کے لیے نیا کمانڈ بنائیں۔","settings.localEnvironments.actions.add.save":"محفوظ کریں","settings.localEnvironments.actions.empty":"مقامی ٹول بار سے کمانڈ چلانے کے لیے ایک کارروائی شامل کریں۔","settings.localEnvironments.actions.icon.debug":"ازالہ کریں","settings.localEnvironments.actions.icon.run":"چلائیں","settings.localEnvironments.actions.icon.test":"امتحان","settings.localEnvironments.actions.icon.tool":"ٹول","settings.localEnvironments.actions.item.button.delete":"حذف کریں","settings.localEnvironments.actions.item.command":"ایکشن اسکرپٹ","settings.localEnvironments.actions.item.name":"نام","settings.localEnvironments.actions.item.platforms":"پلیٹ فارمز","settings.localEnvironments.actions.item.platforms.help":"صرف ایک مخصوص OS پر چلائیں۔","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"پلیٹ فارم کا انتخاب","settings.localEnvironments.actions.item.platforms.specific":"مخصوص پلیٹ فارم","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"حذف کریں","settings.localEnvironments.actions.title":"کارروائیاں","settings.localEnvironments.breadcrumb.back":"واپس جائیں","settings.localEnvironments.breadcrumb.edit":"ترمیم کریں","settings.localEnvironments.breadcrumb.root":"ماحول /انوائرنمنٹ","settings.localEnvironments.environment.actions.description":"یہ اعمال کسی بھی کمانڈ کو چلا سکتے ہیں اور ہیڈر میں ظاہر ہوں گے۔","settings.localEnvironments.environment.actionsLabel":"کارروائیاں","settings.localEnvironments.environment.create":"مقامی ماحول بنائیں","settings.localEnvironments.environment.defaultName":"مقامی","settings.localEnvironments.environment.edit":"مقامی ماحول میں ترمیم کریں","settings.localEnvironments.environment.empty":"اس پروجیکٹ کے لیے ابھی تک کوئی مقامی ماحول ترتیب نہیں دیا گیا ہے۔","settings.localEnvironments.environment.name":"نام","settings.localEnvironments.environment.setup":"سیٹ اپ اسکرپٹ","settings.localEnvironments.environment.setup.description":"یہ اسکرپٹ ورک ٹری تخلیق پر چلے گا۔","settings.localEnvironments.environment.setup.hint":"پروجیکٹ کی جڑ میں چلتا ہے۔","settings.localEnvironments.environment.setup.platformOverrides":"پلیٹ فارم اوور رائیڈ کرتا ہے","settings.localEnvironments.environment.setup.platformOverrides.add":"{platform} سیٹ اپ اسکرپٹ شامل کریں","settings.localEnvironments.environment.setup.platformOverrides.description":"مخصوص OS کے لیے ڈیفالٹ اسکرپٹ کو اوور رائیڈ کرتا ہے۔","settings.localEnvironments.environment.setup.platformOverrides.remove":"ہٹائیں","settings.localEnvironments.environment.setup.script":"اسکرپٹ","settings.localEnvironments.environment.title":"ماحول کی تفصیلات","settings.localEnvironments.file.missing":"پہلی بار اس فائل کو بنانے کے لیے محفوظ کریں۔","settings.localEnvironments.file.parseError":"موجودہ فائل کو پارس کرنے سے قاصر۔ محفوظ کرنا اسے اوور رائٹ کر دے گا۔ ({error})","settings.localEnvironments.file.path":"فائل: {path}","settings.localEnvironments.file.readError":"مقامی ماحول کا ڈیٹا لوڈ کرنے میں ناکام۔ ({error})","settings.localEnvironments.file.title":"مقامی ماحول کی فائل","settings.localEnvironments.loading.body":"آپ کے پروجیکٹ کنفیگریشن کو لایا جا رہا ہے۔","settings.localEnvironments.loading.title":"مقامی ماحول لوڈ ہو رہا ہے","settings.localEnvironments.preview.devOnly":"(صرف DEV)","settings.localEnvironments.preview.save":"محفوظ کریں","settings.localEnvironments.preview.saveError":"فائل کو محفوظ کرنے میں ناکام۔ ({error})","settings.localEnvironments.preview.title":"پیش نظارہ","settings.localEnvironments.save.disabled.name":"محفوظ کرنے کے لیے ماحول کا نام شامل کریں۔","settings.localEnvironments.save.disabled.noChanges":"کوئی تبدیلی محفوظ کرنے کے قابل نہیں ہے۔","settings.localEnvironments.save.disabled.saving":"محفوظ کیا جارہا ہے...","settings.localEnvironments.save.success":"مقامی ماحول کو بچایا","settings.localEnvironments.unavailable.body":"ہم اس پروجیکٹ کے لیے مقامی ماحول کی ترتیبات کو لوڈ نہیں کر سکے۔","settings.localEnvironments.unavailable.title":"مقامی ماحول دستیاب نہیں ہے","settings.localEnvironments.workspace.add":"پراجیکٹ شامل کریں","settings.localEnvironments.workspace.title":"پراجیکٹ","settings.localEnvironments.workspaceSelect.addLabel":"ماحول شامل کریں","settings.localEnvironments.workspaceSelect.description":"مقامی ماحول کوڈیکس کو بتاتا ہے کہ کس طرح ایک پروجیکٹ کے لیے ورک ٹریز کو ترتیب دیا جائے۔ {learnMore}","settings.localEnvironments.workspaceSelect.empty":"ابھی تک کوئی پروجیکٹ نہیں ہے۔ مقامی ماحول کو ترتیب دینے کے لیے ایک شامل کریں۔","settings.localEnvironments.workspaceSelect.errorLabel":"ماحولیات پر توجہ کی ضرورت ہے","settings.localEnvironments.workspaceSelect.learnMore":"مزید جانیں","settings.localEnvironments.workspaceSelect.listLabel":"دستیاب پراجیکٹس","settings.localEnvironments.workspaceSelect.loading":"پراجیکٹس کو لوڈ کیا جا رہا ہے۔","settings.localEnvironments.workspaceSelect.loadingLabel":"ماحول لوڈ کرنے میں خرابی تھی","settings.localEnvironments.workspaceSelect.title":"پراجیکٹ منتخب کریں","settings.localEnvironments.workspaceSelect.viewAction":"دیکھیں","settings.mcp.addServer":"سرور شامل کریں","settings.mcp.app.configure":"کنفیگر کریں","settings.mcp.app.connect":"جڑیں","settings.mcp.apps.refresh":"ریفریش کریں","settings.mcp.detail.addArgument":"دلیل شامل کریں","settings.mcp.detail.addEnvVar":"ماحولیاتی متغیر شامل کریں","settings.mcp.detail.addEnvVarPassthrough":"متغیر شامل کریں","settings.mcp.detail.args":"دلائل","settings.mcp.detail.back":"واپس جائیں","settings.mcp.detail.command":"لانچ کرنے کی کمانڈ","settings.mcp.detail.cwd":"ورکنگ ڈائریکٹری","settings.mcp.detail.docs":"MCP دستاویز کھولیں","settings.mcp.detail.docs.link":"دستاویزات","settings.mcp.detail.envVarPassthrough":"ماحولیاتی متغیر کی پاس تھرو","settings.mcp.detail.envVars":"ماحولیاتی متغیرات","settings.mcp.detail.http.addEnvHeader":"متغیر شامل کریں","settings.mcp.detail.http.addHeader":"ہیڈر شامل کریں","settings.mcp.detail.http.bearerToken":"بیئرر ٹوکن env var","settings.mcp.detail.http.envHeaders":"ماحولیاتی متغیرات سے ہیڈرز","settings.mcp.detail.http.headers":"ہیڈرز","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"نام","settings.mcp.detail.save":"محفوظ کریں","settings.mcp.detail.switchTransportNotice":"اگر آپ MCP سرور کی قسم کو تبدیل کرنا چاہتے ہیں، تو براہ کرم پہلے اَن انسٹال کریں۔","settings.mcp.detail.titleExisting":"{name} MCP کو اپ ڈیٹ کریں","settings.mcp.detail.titleNew":"اپنی مرضی کے MCP سے جڑیں","settings.mcp.detail.transport.http":"اسٹریم ایبل HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"انسٹالیشن ختم کریں","settings.mcp.empty":"کوئی حسبِ ضرورت MCP سرور منسلک نہیں","settings.mcp.myServers":"حسبِ ضرورت سرورز","settings.mcp.partnerServer.description.figma":"مکمل Figma سیاق و سباق میں لاکر بہتر کوڈ تیار کریں","settings.mcp.partnerServer.description.github":"ورک فلو کو خودکار کرنے اور ڈیٹا نکالنے کے لیے GitHub APIs کے ساتھ مربوط کریں","settings.mcp.partnerServer.description.linear":"Linear کے مسئلے سے باخبر رہنے اور پراجیکٹ مینجمنٹ کے ساتھ مربوط کریں","settings.mcp.partnerServer.description.notion":"دستاویزات پڑھیں، صفحات کو اپ ڈیٹ کریں، ٹاسکس کا نظم کریں","settings.mcp.partnerServer.description.playwright":"ڈیزائن کو نافذ کرنے اور UI کی جانچ کرنے کے لیے براؤزر آٹومیشن کو مربوط کریں۔","settings.mcp.partnerServer.install":"انسٹال کریں","settings.mcp.partnerServer.installAndAuthenticate":"انسٹال کریں اور تصدیق کریں","settings.mcp.partnerServer.logoAlt":"{label} لوگو","settings.mcp.partnerServer.manage":"نظم کریں","settings.mcp.partnerServer.vendor":"{vendor} کی جانب سے","settings.mcp.recommendedServers":"تجویز کردہ سرورز","settings.mcp.restartApp":"دوبارہ شروع کریں","settings.mcp.restartExtension":"ایکسٹینشن دوبارہ شروع کریں","settings.mcp.server.enable":"فعال کریں","settings.mcp.server.login":"تصدیق کریں","settings.mcp.server.settings":"ترتیبات","settings.multiselect.createOption":'"{value}" بنائیں',"settings.multiselect.removeOption":"ہٹائیں","settings.nav.account":"اکاوٴنٹ","settings.nav.agent":"ترتیب","settings.nav.ariaLabel":"ترتیبات","settings.nav.back":"واپس ایپ میں جائیں","settings.nav.data-controls":"آرکائیو شدہ تھریڈز","settings.nav.environments":"کلاؤڈ ماحول","settings.nav.externalTooltip":"[الفا] براؤزر میں کھولیں","settings.nav.general-settings":"عمومی","settings.nav.git-settings":"Git","settings.nav.local-environments":"ماحول /انوائرنمنٹ","settings.nav.mcp-settings":"MCP servers","settings.nav.notImplemented":"[الفا] الفا میں دستیاب نہیں ہے","settings.nav.personalization":"ذاتی نوعیت کا بنانا","settings.nav.skills-settings":"مہارتیں","settings.nav.usage-analytics":"استعمال اور تجزیات","settings.nav.worktrees":"ورک ٹریز","settings.openSourceLicenses.back":"واپس جائیں","settings.openSourceLicenses.loading":"لوڈ ہو رہی ہے…","settings.openSourceLicenses.missing":"فریق ثالث کے کوئی نوٹس نہیں ملے۔","settings.openSourceLicenses.notSupported":"اس ہوسٹ میں دستیاب نہیں ہے۔","settings.openSourceLicenses.rowDescription":"بنڈل انحصار کے لیے فریق ثالث کے نوٹس","settings.openSourceLicenses.rowLabel":"اوپن سورس لائسنسز","settings.openSourceLicenses.subtitle":"اس ایپ میں شامل انحصار کے لیے فریق ثالث کے نوٹسز","settings.openSourceLicenses.title":"اوپن سورس لائسنسز","settings.openSourceLicenses.view":"دیکھیں","settings.personalization.agents.description":"ان ہدایات میں ترمیم کریں جو آپ کے لیے Codex کو تیار کرتی ہیں۔ {learnMore}","settings.personalization.agents.learnMore":"مزید جانیں","settings.personalization.agents.loadError":"agents.md لوڈ کرنے سے قاصر۔","settings.personalization.agents.loading":"agents.md لوڈ ہو رہا ہے…","settings.personalization.agents.placeholder":"اپنی حسب ضرورت ہدایات شامل کریں…","settings.personalization.agents.retry":"دوبارہ کوشش کریں","settings.personalization.agents.save":"محفوظ کریں","settings.personalization.agents.save.error":"agents.md کو محفوظ میں ناکام","settings.personalization.agents.save.success":"محفوظ شدہ agents.md","settings.personalization.agents.title":"حسب ضرورت ہدایات","settings.personalization.personality.description":"Codex کے جوابات کے لیے ڈیفالٹ ٹون منتخب کریں","settings.personalization.personality.label":"شخصیت","settings.sample.contentBody":"مستقل اسپیسنگ کے ساتھ اپنے سیٹنگ پینلز کو ترتیب دینے کے لیے اس لے آؤٹ کا استعمال کریں۔","settings.sample.contentTitle":"نمونہ مواد بلاک","settings.section.account":"اکاوٴنٹ","settings.section.agent":"ترتیب","settings.section.data-controls":"آرکائیو شدہ تھریڈز","settings.section.environments":"کلاؤڈ ماحول","settings.section.external":"Alpha کے دوران آپ کے براؤزر میں کھلتا ہے","settings.section.general-settings":"عمومی","settings.section.git-settings":"Git","settings.section.local-environments":"ماحول /انوائرنمنٹ","settings.section.mcp-settings":"MCP servers","settings.section.mcp-settings.docs":"دستاویزات","settings.section.mcp-settings.subtitle":"بیرونی ٹولز اور ڈیٹا کے ذرائع منسلک کریں۔","settings.section.personalization":"ذاتی نوعیت کا بنانا","settings.section.skills-settings":"مہارتیں","settings.section.unavailable":"Alpha میں دستیاب نہیں ہے","settings.section.usage-analytics":"استعمال اور تجزیات","settings.section.worktrees":"ورک ٹریز","settings.threadDetail.description":"منتخب کریں کہ تھریڈز میں کتنی کمانڈ آؤٹ پٹ دکھانی ہے","settings.threadDetail.label":"تھریڈ کی تفصیل","settings.worktrees.conversation.untitled":"بلا عنوان گفتگو","settings.worktrees.delete.error":"ورک ٹری کو حذف کرنے میں ناکام","settings.worktrees.empty.body":"Codex کے ذریعہ تیار کردہ ورک ٹریز یہاں ظاہر ہوں گے۔","settings.worktrees.empty.title":"ابھی تک کوئی ورک ٹری نہیں ہے","settings.worktrees.error.body":"ورک ٹریز لوڈ کرتے وقت کچھ غلط ہو گیا۔","settings.worktrees.error.retry":"دوبارہ کوشش کریں","settings.worktrees.error.title":"ورک ٹریز لوڈ کرنے سے قاصر","settings.worktrees.loading.body":"ورک ٹری کی تفصیلات حاصل کی جا رہی ہیں۔","settings.worktrees.loading.title":"ورک ٹریز لوڈ ہو رہا ہے","settings.worktrees.repository.loading":"ریپوزٹری میٹا ڈیٹا لوڈ ہو رہا ہے…","settings.worktrees.repository.unknown":"نامعلوم ریپوزیٹری","settings.worktrees.row.conversations":"گفتگوئیں","settings.worktrees.row.conversations.empty":"اس ورک ٹری سے کوئی بات چیت منسلک نہیں ہے۔","settings.worktrees.row.conversations.loading":"گفتگو لوڈ ہو رہی ہیں…","settings.worktrees.row.delete":"حذف کریں","settings.worktrees.row.title":"ورک ٹری","sidebarElectron.addWorkspaceRoot":"نیا پراجیکٹ شامل کریں","sidebarElectron.archiveThread":"تھریڈ کو آرکائیو کریں","sidebarElectron.archiveThreadError":"تھریڈ آرکائیو نہیں کیا جا سکا","sidebarElectron.collapseFolder":"فولڈر کو سمیٹیں","sidebarElectron.createStableWorktree.dialog.cancel":"منسوخ کریں","sidebarElectron.createStableWorktree.dialog.create":"بنائیں","sidebarElectron.debugNavLink":"ازالہ کریں","sidebarElectron.editWorkspaceRootOptionName":"نام میں ترمیم کریں","sidebarElectron.expandFolder":"فولڈر کو پھیلائیں","sidebarElectron.groupByMenu.recency":"تاریخ کی فہرست","sidebarElectron.groupByMenu.title":"منظم کریں","sidebarElectron.groupByMenu.workspace":"پراجیکٹ کے ذریعے","sidebarElectron.inboxRouteNavLink":"آٹومیشنز","sidebarElectron.markThreadUnread":"غیر مطالعہ شدہ کے طور پر نشان لگائیں","sidebarElectron.missingWorkspaceRoot":"اس پراجیکٹ فولڈر کو حذف یا منتقل کردیا گیا تھا","sidebarElectron.newThread":"نئی سیریز","sidebarElectron.newThreadInGroup":"{folder} میں نیا تھریڈ شروع کریں","sidebarElectron.noRecentThreads":"کوئی حالیہ تھریڈز نہیں","sidebarElectron.noTasks":"تھریڈز نہیں","sidebarElectron.noTasks.start":"نیا پراجیکٹ شامل کریں","sidebarElectron.noTasksWithFilter":"کوئی تھریڈ فلٹرز سے مماثل نہیں ہے","sidebarElectron.pinnedThreads":"پن کیے ہوئے تھریڈز","sidebarElectron.recentNavLink":"Threads","sidebarElectron.recentThreads":"حالیہ تھریڈز","sidebarElectron.removeWorkspaceRootOption":"ہٹائیں","sidebarElectron.renameThread":"تھریڈ کا نام تبدیل کریں","sidebarElectron.renameThreadDialogAriaLabel":"تھریڈ کا عنوان","sidebarElectron.renameThreadDialogCancel":"منسوخ کریں","sidebarElectron.renameThreadDialogPlaceholder":"ایک عنوان شامل کریں…","sidebarElectron.renameThreadDialogSave":"محفوظ کریں","sidebarElectron.renameThreadDialogSubtitle":"اسے مختصر اور قابل شناخت رکھیں۔","sidebarElectron.renameThreadDialogTitle":"تھریڈ کا نام تبدیل کریں","sidebarElectron.renameThreadError":"تھریڈ کا نام تبدیل کرنے میں ناکامی","sidebarElectron.renameWorkspaceRootOptionLabel":"ڈسپلے نام","sidebarElectron.showLess":"کم دکھائیں","sidebarElectron.showMenu.all":"تمام تھریڈز","sidebarElectron.showMenu.relevant":"متعلقہ","sidebarElectron.showMenu.relevantHint":"صرف موجودہ برانچ، ورک ٹریز، یا دیگر تھریڈز دکھائیں جن پر آپ کی توجہ درکار ہے۔","sidebarElectron.showMenu.title":"دکھائیں","sidebarElectron.showMenu.tooltip":"تھریڈز کو فلٹر کریں، ترتیب دیں اور منظم کریں","sidebarElectron.showMenu.trigger":"سائڈبار تھریڈز کو فلٹر کریں۔","sidebarElectron.showMore":"زیادہ دکھائیں","sidebarElectron.skillsRouteNavLink":"مہارتیں","sidebarElectron.sortMenu.created":"بن گیا ہے","sidebarElectron.sortMenu.title":"کے حساب سے ترتیب دیں","sidebarElectron.sortMenu.updated":"اپ ڈیٹ شدہ","sidebarElectron.taskNavigation":"آٹومیشن فولڈرز","sidebarElectron.tasksInFolder":"{folder} میں آٹومیشنز","sidebarElectron.workspaceOptions":"{folder} کے لیے پراجیکٹ کی کارروائیاں","sidebarElectron.worktreeGroupTooltip":"یہ ایک گٹ ورک ٹری ہے","skills.appsPage.createSkill":"نئی مہارت","skills.appsPage.empty.skills":"کوئی مہارت نہیں ملی","skills.appsPage.search.skills":"مہارتیں تلاش کریں","skills.appsPage.search.skills.label":"مہارتیں تلاش کریں","skills.appsPage.section.installedApps":"انسٹال ہوگیا","skills.appsPage.section.skills":"مہارتیں","skills.appsPage.subheading":"Codex کو سپر پاورز دیں۔<link>مزید جانیں</link>","skills.appsPage.tab.recommended":"تجویز کردہ","skills.appsPage.tab.skills":"مہارتیں","skills.card.contentsError":"مہارت کے مواد کو لوڈ نہیں کیا جا سکا۔","skills.card.disable":"غیر فعال کریں","skills.card.disableSuccess":"{skillName}اسکل غیر فعال ہے","skills.card.disabledBadge":"غیر فعال کردیا گیا","skills.card.enable":"فعال کریں","skills.card.enableSuccess":"{skillName}اسکل فعال ہے","skills.card.loadingContents":"مہارت کا مواد لوڈ ہو رہا ہے...","skills.card.more":"مزید کارروائیاں","skills.card.open":"کھولیں","skills.card.removeFailed":"مہارت کو اَن انسٹال کرنے میں ناکام","skills.card.removeSuccess":"{skillName}اسکل ان انسٹال شدہ ہے","skills.card.toggleEnabledError":"مہارت کو اپ ڈیٹ کرنے میں ناکام","skills.card.try":"آزمائیں","skills.card.trySkill":"مہارت آزمائیں","skills.card.uninstall":"انسٹالیشن ختم کریں","skills.hero.dotLabel":"سلائیڈ{index} پر جائیں","skills.hero.next":"اگلا نمایاں مہارت","skills.hero.trySkill":"مہارت آزمائیں","skills.page.createSkill":"نئی مہارت","skills.page.empty":"کوئی مہارت نہیں ملی","skills.page.filteredEmpty":"آپ کے فلٹرز سے کوئی مہارت مطابقت نہیں رکھتی","skills.page.filteredEmptyDescription":"اپنی تلاش یا دائرہ کار کے فلٹرز کو ایڈجسٹ کرنے کی کوشش کریں","skills.page.heading":"مہارتیں","skills.page.loading":"مہارتیں لوڈ ہو رہی ہیں...","skills.page.refreshSkills":"ریفریش کریں","skills.page.refreshSkillsToUseNew":"نئی اسکل استعمال کرنے کے لیے ریفریش کریں","skills.page.search":"مہارتیں تلاش کریں","skills.page.search.label":"مہارتیں تلاش کریں","skills.page.subheading":"Codex کو سپر پاورز دیں۔<link>مزید جانیں</link>","skills.preview.copyPrompt":"Prompt کاپی کریں","skills.preview.examplePrompt":"مثال کا پرامپٹ","skills.recommended.error":"تجویز کردہ مہارتیں لوڈ کرنے سے قاصر","skills.recommended.install":"انسٹال کریں","skills.recommended.installSkill":"اسکل انسٹال کریں","skills.recommended.installSuccess":"{skillName}اسکل انسٹال شدہ ہے","skills.recommended.installed":"انسٹال ہوگیا","skills.scope.admin":"ایڈمن","skills.scope.adminInstalled":"ایڈمن انسٹال ہو گیا","skills.scope.builtIn":"سسٹم","skills.scope.personal":"ذاتی","skills.scope.repo":"ریپازٹری","skills.scope.system":"سسٹم","skills.scope.team":"ٹیم","skills.scope.user":"صارف","skills.section.installed":"انسٹال ہوگیا","skills.section.recommended":"تجویز کردہ","story.slidingToggle.existing":"موجودہ","story.slidingToggle.fromLocal":"لوکل سے","story.slidingToggle.new":"نیا","story.slidingToggle.toLocal":"لوکل کو","terminal.close":"ٹرمینل بند کریں","terminal.title":"ٹرمنل","thinkingShimmer.default":"سوچ رہا ہے","threadEnvIcon.cloudTooltip":"یہ گفتگو Codex Cloud میں چل رہی ہے۔","threadEnvIcon.localTooltip":"یہ گفتگو مقامی طور پر چل رہی ہے۔","threadEnvIcon.worktreeTooltip":"یہ گفتگو مقامی git ورک ٹری میں چل رہی ہے۔","threadHeader.archiveConfirmCancel":"منسوخ کریں","threadHeader.archiveConfirmConfirm":"آرکائیو کریں","threadHeader.copySessionId":"سیشن کی آئی ڈی کاپی کریں","threadHeader.copyWorkingDirectory":"ورکنگ ڈائرکٹری کاپی کریں","threadHeader.forkIntoLocal":"اسے لوکل میں فورک کریں","threadHeader.forkIntoWorktree":"نئے ورک ٹری میں فورک کریں","threadHeader.forkPendingWorktreePrompt":"اس گفتگو کو نئے ورک ٹری میں فورک کریں۔","threadHeader.forkPendingWorktreeTitle":"فورک شدہ گفتگو","threadHeader.forkThreadError":"تھریڈ کو فورک کرنے میں ناکامی","threadHeader.forkThreadRequiresGitRepo":"نئے ورک ٹری میں فورک کرنے کے لیے git ریپوزٹری کی ضرورت ہے","threadHeader.moreActions":"تھریڈ ایکشنز","threadPage.newThread":"نئی سیریز","threadPage.runAction.changeEnvironment":"ماحول کو تبدیل کریں","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} کارروائیاں","threadPage.runAction.environmentSelector.label":"ماحول کا انتخاب کریں","threadPage.runAction.label":"چلائیں","threadPage.runAction.missing.label":"رن ایکشن ترتیب دیں","threadPage.runAction.setup.commandLabel":"چلانے کا حکم","threadPage.runAction.setup.description":"Codex کو بتائیں کہ انحصار کیسے انسٹال کیا جائے اور اپنی ایپ کیسے شروع کی جائے۔","threadPage.runAction.setup.editMore":"ماحول کی ترتیبات","threadPage.runAction.setup.placeholder":"مثال کے طور پر: npm install npm run","threadPage.runAction.setup.submit":"محفوظ کریں اور چلائیں","threadPage.runAction.setup.title":"چلائیں","threadPage.runAction.tooltip.withEnvironment":"{environmentName} کارروائیاں","threadPage.toggleDiffPanel":"فرق کے پینل کو ٹوگل کریں","threadPage.toggleTerminal":"ٹرمنل کو ٹوگل کریں","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"فولڈر کھولیں","toolSummaryForCmd.exploredFiles":"<verb>فہرست </verb>شدہ فائلیں","toolSummaryForCmd.exploredFilesInPath":"فائلیں {path} میں <verb>درج</verb> ہیں","toolSummaryForCmd.exploringFiles":"فائلوں <verb>کی فہرست</verb>","toolSummaryForCmd.exploringFilesInPath":"{path} میں فائلوں کی <verb>فہرست</verb>","toolSummaryForCmd.ranGenericCommand":"<status> رن کمانڈ </status>{timer}","toolSummaryForCmd.ranSpecificCommand":"{command}{timer} کو <status>چلایا گیا</status>","toolSummaryForCmd.read":"{path} <verb>پڑھیں</verb>","toolSummaryForCmd.runningGenericCommand":"<status>رننگ کمانڈ</status>{timer}","toolSummaryForCmd.runningTimer":"{elapsed} کے لیے","toolSummaryForCmd.searchedFor":"{query} کے لیے <verb>تلاش کیا گیا</verb>","toolSummaryForCmd.searchedForFiles":"فائلوں کے لیے <verb>تلاش کیا گیا</verb>","toolSummaryForCmd.searchedForInPath":"{path} میں {query} کے لیے <verb>تلاش</verb> کیا گیا","toolSummaryForCmd.searchingFor":"{query} کو <verb>تلاش</verb> کیا جا رہا ہے","toolSummaryForCmd.searchingForFiles":"فائلوں کو <verb>تلاش کیا جا رہا ہے</verb>","toolSummaryForCmd.searchingForInPath":"{path} میں {query} کو <verb>تلاش کیا جا رہا ہے</verb>","traceRecording.startDetails.cancel":"منسوخ کریں","wham.diff.addComment":"تبصرہ شامل کریں","wham.diff.binaryFile":"بائنری فائل ظاہر نہیں کی گئی","wham.diff.noContent":"کوئی مواد نہیں","wham.fileTag.deleted":"حذف کردیا گیا","wham.fileTag.new":"نیا","wham.formattedRelativeDateTime.compactDaysAgo":"{value}d","wham.formattedRelativeDateTime.compactHoursAgo":"{value}h","wham.formattedRelativeDateTime.compactMinutesAgo":"{value}m","wham.formattedRelativeDateTime.compactMonthsAgo":"{value}مہینہ","wham.formattedRelativeDateTime.compactWeeksAgo":"{value}ہفتہ","wham.formattedRelativeDateTime.compactYearsAgo":"{value}سال","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"آپ کے ٹاسک پر کام کیا جا رہا ہے","wham.whamProposedTask.title":"تجویز کردہ ٹاسک","wham.whamProposedTask.useSuggestion":"تجویز استعمال کریں","workspaceRootDialog.addError":"پراجیکٹ شامل کرنے میں ناکام","workspaceRootDialog.cancel":"منسوخ کریں","workspaceRootDialog.confirmAdd":"پراجیکٹ شامل کریں","workspaceRootDialog.confirmPick":"پراجیکٹ کا استعمال کریں","workspaceRootDialog.description":"پراجیکٹ کے طور پر استعمال کرنے کے لیے {host} پر ایک راستہ درج کریں۔","workspaceRootDialog.pathLabel":"پراجیکٹ کا راستہ","workspaceRootDialog.pathPlaceholder":"/گھر/آپ/پروجیکٹ","workspaceRootDialog.title.add":"پراجیکٹ کا راستہ شامل کریں","workspaceRootDialog.title.pick":"پراجیکٹ کا راستہ منتخب کریں","worktreeInitV2.cancel":"منسوخ کریں","worktreeInitV2.notification.failedTitle":"ورک ٹری سیٹ اپ ناکام ہو گیا۔","worktreeInitV2.output.empty":"آؤٹ پٹ کا انتظار کر رہا ہے...","worktreeInitV2.status.error":"ورک ٹری سیٹ اپ ناکام ہو گیا۔","worktreeInitV2.status.running":"ورک ٹری بنانا اور سیٹ اپ چلانا۔","worktreeInitV2.status.runningFork":"اس گفتگو کو فورک کرنے کے لیے ورک ٹری بنایا جا رہا ہے۔","worktreeInitV2.status.success":"ورک ٹری تیار ہے۔","worktreeInitV2.title":"ورک ٹری بنایا جا رہا ہے","worktreeInitV2.workLocallyInstead":"مقامی طور پر کام کریں","worktreeRestoreBanner.body":"اس تھریڈ کی ورک ٹری کو ڈسک کی جگہ بچانے کے لیے ہٹا دیا گیا تھا۔","worktreeRestoreBanner.missing.body":"اس تھریڈ کی ورکنگ ڈائرکٹری اب موجود نہیں ہے","worktreeRestoreBanner.missing.title":"موجودہ ورکنگ ڈائرکٹری غائب ہے","worktreeRestoreBanner.restore.error":"ورک ٹری کو بحال کرنے میں ناکامی: {message}","worktreeRestoreBanner.restore.success":"ورک ٹری بحال ہو گیا","worktreeRestoreBanner.restoreCta":"ورک ٹری کو بحال کریں","worktreeRestoreBanner.title":"ورک ٹری صاف ہو گیا"};Object.assign(e,globalThis.codexI18nOverrides?.["ur"]);export{e as default};
 //# sourceMappingURL=ur-CgkCZFy8.js.map
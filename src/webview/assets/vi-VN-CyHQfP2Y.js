@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"Sao chép","app.sidebar.hide":"Ẩn thanh bên","app.sidebar.show":"Hiện thanh bên","app.sidebar.tooltip":"Bật tắt sidebar","appHeader.installUpdate":"Cập nhật","appSunset.body":"Phiên bản ứng dụng này hiện không còn được hỗ trợ. Vui lòng tải xuống phiên bản mới nhất <here>tại đây</here>.","appSunset.title":"Bắt buộc cập nhật","automation.updateDirective.create":"Tạo","automation.updateDirective.open":"Mở","automation.updateDirective.untitled":"Quy trình tự động hóa không có tiêu đề","automation.updateDirective.update":"Cập nhật","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# lần}}","cloudTaskRow.archiveError":"Không lưu trữ được nhiệm vụ","code.diff.requestChange":"Yêu cầu thay đổi","code.diffComment.cancel":"Hủy","code.diffComment.comment":"Nhận xét","code.diffComment.delete":"Xóa","code.diffComment.save":"Lưu","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Chưa có phát hiện nào được báo cáo.","codex.alert.closeAriaLabel":"Đóng","codex.appUpsellBanner.cbpApi.message":"Xây dựng nhanh hơn với ứng dụng Codex. Tải xuống ngay hoặc {learnMoreLink}","codex.appUpsellBanner.download":"Tải xuống","codex.appUpsellBanner.freeGo.message":"Codex sẽ đi kèm với gói dịch vụ của bạn đến hết ngày 2 tháng 3. Hãy thử ứng dụng Codex để xây dựng nhanh hơn.","codex.appUpsellBanner.later":"Để sau","codex.appUpsellBanner.learnMoreLowercase":"Tìm hiểu thêm","codex.appUpsellBanner.new":"Mới","codex.appUpsellBanner.proPlusBusiness.message":"Dùng thử ứng dụng Codex với giới hạn sử dụng gấp đôi đến ngày 2 tháng 4. Tải xuống ngay hoặc {learnMoreLink}","codex.appUpsellBanner.title":"Ứng dụng Codex","codex.applyDropdown.header.changes":"Thay đổi","codex.applyDropdown.header.fileCount":"{count, plural, other {# tệp}}","codex.applyDropdown.header.rows":"hàng","codex.applyDropdown.header.title":"Áp dụng thay đổi","codex.applyDropdown.header.workspace":"Dự án","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} tệp bị xung đột:}}","codex.applyDropdown.results.empty":"Không có tệp nào được sao chép","codex.applyDropdown.results.skipped":"{count, plural, other {{count} tệp đã bỏ qua:}}","codex.applyOrRevertBanner.apply":"Áp dụng","codex.applyOrRevertBanner.applyMessage":"Áp dụng thay đổi và tiếp tục ở cục bộ?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Nhiệm vụ này được thực hiện trong {environment} vậy nên có thể không áp dụng suôn sẻ.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Những thay đổi này được thực hiện trong {environment} vậy nên có thể không áp dụng suôn sẻ.","codex.applyOrRevertBanner.reapply":"Áp dụng lại","codex.applyOrRevertBanner.revert":"Khôi phục","codex.applyOrRevertBanner.revertMessage":"Khôi phục những thay đổi đã áp dụng?","codex.applyResultsDialog.applied":"Đã áp dụng suôn sẻ ({count})","codex.applyResultsDialog.close":"Đóng","codex.applyResultsDialog.conflicted":"Có xung đột ({count})","codex.applyResultsDialog.noDetails":"Không có thông tin chi tiết về tệp.","codex.applyResultsDialog.skipped":"Đã bỏ qua ({count})","codex.applyResultsDialog.title":"Kết quả áp dụng","codex.archiveInfo":"Xem các đoạn chat được lưu trữ trong {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kiểm soát dữ liệu","codex.archiveInfo.electron":"Xem các đoạn chat được lưu trữ trong {settingsLink}","codex.archiveInfo.extension":"Xem các đoạn chat được lưu trữ trong thư mục .codex của bạn.","codex.archiveInfo.settingsLink":"Cài đặt","codex.banner.content.description":"Chạy các nhiệm vụ song song, theo dõi tiến độ ở mọi nơi và xem xét PR bằng AI.","codex.banner.content.headline":"Codex có thể làm được tất cả.","codex.cloudTaskRow.archiveTask":"Lưu trữ nhiệm vụ","codex.cloudTaskRow.confirmArchiveTask":"Xác nhận","codex.command.feedback":"Phản hồi","codex.command.findInThread":"Tìm","codex.command.forceReloadSkills":"Buộc tải lại kỹ năng","codex.command.logOut":"Đăng xuất","codex.command.manageTasks":"Quản lý nhiệm vụ","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Quay lại","codex.command.navigateForward":"Chuyển tiếp","codex.command.newThread":"Chủ đề mới","codex.command.nextThread":"Luồng tiếp theo","codex.command.openFolder":"Mở thư mục","codex.command.openSkills":"Đi đến kỹ năng","codex.command.openThreadOverlay":"Luồng bật lên","codex.command.personalitySettings":"Tính cách","codex.command.previousThread":"Luồng trước đó","codex.command.settings":"Cài đặt","codex.command.toggleDiffPanel":"Bật/tắt bảng điều khiển tệp diff","codex.command.toggleSidebar":"Bật/tắt thanh bên","codex.command.toggleTerminal":"Chuyển đổi thiết bị đầu cuối","codex.commandGroup.app":"Ứng dụng","codex.commandGroup.configure":"Định cấu hình","codex.commandGroup.navigation":"Điều hướng","codex.commandGroup.panels":"Ô","codex.commandGroup.skills":"Kỹ năng","codex.commandGroup.thread":"Luồng","codex.commandGroup.workspace":"Dự án","codex.commandMenu.noResults":"Không có kết quả phù hợp","codex.commandMenu.searchPlaceholder":"Tìm kiếm lệnh","codex.commandMenu.suggestedGroup":"Được đề xuất","codex.commandMenu.switchWorkspace":"Chuyển đổi dự án","codex.commandMenu.title":"Menu lệnh","codex.common.retry":"Thử lại","codex.composer.searchBranches":"Tìm kiếm nhánh...","codex.dialog.basic.body":"Đây là cửa sổ hộp thoại đơn giản sử dụng lớp bao bọc của chúng tôi xung quanh Radix Dialog.","codex.dialog.basic.cancel":"Hủy","codex.dialog.basic.confirm":"Xác nhận","codex.dialog.basic.open":"Mở hộp thoại","codex.dialog.basic.title":"Hộp thoại mẫu","codex.dialog.long.close":"Đóng","codex.dialog.long.line":"Dòng {index} có thể cuộn để hiển thị nội dung dài bên trong hộp thoại.","codex.dialog.long.open":"Mở hộp thoại dài","codex.dialog.long.title":"Hộp thoại nội dung dài","codex.dialog.unstyled.body":"Câu chuyện này minh họa cách người gọi có thể kiểm soát hoàn toàn cách trình bày nội dung hộp thoại.","codex.dialog.unstyled.open":"Mở hộp thoại chưa tạo kiểu trình bày","codex.dialog.unstyled.title":"Nội dung chưa tạo kiểu trình bày","codex.diff.openInEditorPrompt.openButton":"Mở trong trình soạn thảo","codex.diff.openInEditorPrompt.singleLine":"Tệp này quá lớn nên không thể hiển thị ở đây.","codex.diffView.failedToDecodeBase64Diff":"Không giải mã được tệp diff base64","codex.diffView.filesChanged":"{fileCount, plural, other {# tệp đã thay đổi}}","codex.diffView.imagePreviewAlt":"Xem trước hình ảnh","codex.diffView.imagePreviewEmpty":"Không có hình ảnh","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Không có dữ liệu diff","codex.diffView.pdfPreview.nextPage":"Trang tiếp theo","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Trang trước đó","codex.diffView.pdfPreviewEmpty":"Không có bản xem trước PDF","codex.diffView.pdfPreviewError":"Không thể hiển thị bản xem trước PDF","codex.diffView.richPreviewDisable":"Tắt chế độ xem trước chi tiết","codex.diffView.richPreviewEnable":"Bật chế độ xem trước chi tiết","codex.diffView.richPreviewLoading":"Đang tải bản xem trước…","codex.diffView.richPreviewToggle":"Bật/tắt chế độ xem trước chi tiết","codex.diffView.switchToUnified":"Chuyển sang tệp diff thống nhất","codex.environmentSelector.noEnvironment":"Không có môi trường","codex.environments.environmentSettings":"Cài đặt môi trường","codex.environments.learnMore":"Tìm hiểu thêm","codex.environments.listError":"Không tải được môi trường.","codex.environments.noEnvironmentsFound":"Không tìm thấy môi trường nào","codex.environments.searchError":"Không tìm kiếm được môi trường.","codex.errorBoundary.genericError":"Rất tiếc, đã xảy ra lỗi","codex.errorBoundary.goHome":"Thử lại","codex.file.patch.missing":"Không thể tạo bản vá cho tệp này.","codex.gallery.automations.cwdLabel":"Dự án","codex.gallery.automations.nameLabel":"Tên","codex.gallery.automations.namePlaceholder":"Tóm tắt một tác vụ","codex.gallery.automations.promptLabel":"Câu lệnh","codex.gallery.automations.promptPlaceholder":"Mô tả Codex cần làm gì","codex.gallery.dialogs.automation.label":"Hộp thoại tự động hóa","codex.gallery.dialogs.basic.body":"Dùng bố cục này cho các xác nhận đơn giản hoặc biểu mẫu ngắn.","codex.gallery.dialogs.basic.cancel":"Hủy","codex.gallery.dialogs.basic.confirm":"Xác nhận","codex.gallery.dialogs.basic.label":"Hộp thoại cơ bản","codex.gallery.dialogs.basic.title":"Hộp thoại mẫu","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Mô tả vấn đề","codex.gallery.dialogs.feedbackSubmission.bad":"Kết quả không hợp lệ","codex.gallery.dialogs.feedbackSubmission.bug":"Lỗi","codex.gallery.dialogs.feedbackSubmission.good":"Kết quả hợp lệ","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Bao gồm nhật ký phiên Codex hiện tại","codex.gallery.dialogs.feedbackSubmission.label":"Gửi phản hồi","codex.gallery.dialogs.feedbackSubmission.other":"Khác","codex.gallery.dialogs.feedbackSubmission.placeholder":"Mô tả vấn đề ở đây","codex.gallery.dialogs.feedbackSubmission.submit":"Gửi","codex.gallery.dialogs.feedbackSubmission.title":"Phản hồi","codex.gallery.dialogs.feedbackSuccess.body":"Phản hồi đã được tải lên. Nếu vấn đề vẫn tiếp diễn, vui lòng mở một sự cố trên GitHub hoặc nhắc đến id luồng trong một sự cố đang mở:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Bỏ qua","codex.gallery.dialogs.feedbackSuccess.label":"Gửi phản hồi thành công","codex.gallery.dialogs.feedbackSuccess.title":"Đã tải phản hồi lên","codex.gallery.dialogs.gitApplyResults.applied":"Đã áp dụng suôn sẻ (2)","codex.gallery.dialogs.gitApplyResults.close":"Đóng","codex.gallery.dialogs.gitApplyResults.conflicted":"Có xung đột (1)","codex.gallery.dialogs.gitApplyResults.label":"Kết quả áp dụng","codex.gallery.dialogs.gitApplyResults.title":"Kết quả áp dụng","codex.gallery.dialogs.gitPushError.body":"Kéo các thay đổi mới nhất hoặc buộc thay đổi nếu bạn biết lịch sử remote an toàn để ghi đè.","codex.gallery.dialogs.gitPushError.cancel":"Hủy","codex.gallery.dialogs.gitPushError.force":"Buộc thực hiện đẩy","codex.gallery.dialogs.gitPushError.label":"Lỗi đẩy","codex.gallery.dialogs.gitPushError.subtitle":"Nhánh của bạn đang tụt so với origin/main.","codex.gallery.dialogs.gitPushError.title":"Không thể đẩy các thay đổi","codex.gallery.dialogs.gitRevert.cancel":"Hủy","codex.gallery.dialogs.gitRevert.confirm":"Khôi phục","codex.gallery.dialogs.gitRevert.label":"Hoàn nguyên các thay đổi","codex.gallery.dialogs.gitRevert.skip":"Đừng hỏi lại","codex.gallery.dialogs.gitRevert.subtitle":"Hành động này sẽ xóa tất cả những thay đổi này.","codex.gallery.dialogs.gitRevert.title":"Hoàn nguyên thay đổi?","codex.gallery.dialogs.longForm.label":"Hộp thoại dạng dài","codex.gallery.dialogs.proseModal.body":"Kiểu hộp thoại này được dùng cho hướng dẫn, cho người dùng mới hoặc các khối nội dung phong phú.","codex.gallery.dialogs.proseModal.close":"Đóng","codex.gallery.dialogs.proseModal.subtitle":"Chia sẻ hướng dẫn dạng dài hoặc tài liệu tại đây.","codex.gallery.dialogs.proseModal.title":"Hộp thoại văn bản","codex.gallery.dialogs.submitBlocked.label":"Không thể gửi","codex.gallery.dialogs.submitBlocked.message":"Không thể gửi tin nhắn vì dự án không khả dụng.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Không thể gửi tin nhắn","codex.gallery.dialogs.title":"Hộp thoại","codex.gallery.dropdown.filterPlaceholder":"Lọc mục","codex.gallery.dropdowns.actionRow":"Hàng thao tác","codex.gallery.dropdowns.actionRow.disabled":"Thao tác bị vô hiệu","codex.gallery.dropdowns.actionRow.primary":"Thao tác chính","codex.gallery.dropdowns.actionRow.secondary":"Hành động thứ cấp","codex.gallery.dropdowns.actionRow.trigger":"Hiển thị thao tác","codex.gallery.dropdowns.basic":"Danh sách thả xuống cơ bản","codex.gallery.dropdowns.basic.newFile":"Tệp mới","codex.gallery.dropdowns.basic.newFolder":"Thư mục mới","codex.gallery.dropdowns.basic.openSettings":"Mở cài đặt","codex.gallery.dropdowns.basic.title":"Thao tác nhanh","codex.gallery.dropdowns.basic.trigger":"Mở menu","codex.gallery.dropdowns.basic.upload":"Tải lên","codex.gallery.dropdowns.panel":"Bề mặt bảng","codex.gallery.dropdowns.panel.apply":"Áp dụng","codex.gallery.dropdowns.panel.body":"Xem lại những thay đổi và áp dụng vào dự án của bạn.","codex.gallery.dropdowns.panel.preview":"Xem trước","codex.gallery.dropdowns.panel.title":"Áp dụng thay đổi","codex.gallery.dropdowns.panel.trigger":"Mở bảng","codex.gallery.dropdowns.search":"Danh sách thả xuống có thể tìm kiếm","codex.gallery.dropdowns.search.first":"Kênh alpha","codex.gallery.dropdowns.search.second":"Nhánh beta","codex.gallery.dropdowns.search.third":"Thả ứng viên","codex.gallery.dropdowns.search.trigger":"Lọc mục","codex.gallery.dropdowns.submenu":"Danh sách thả xuống có menu phụ","codex.gallery.dropdowns.submenu.optionA":"Dự án alpha","codex.gallery.dropdowns.submenu.optionB":"Dự án beta","codex.gallery.dropdowns.submenu.optionC":"Dự án gamma","codex.gallery.dropdowns.submenu.primary":"Chỉ định chủ sở hữu","codex.gallery.dropdowns.submenu.secondary":"Di chuyển sang","codex.gallery.dropdowns.submenu.tertiary":"Lưu trữ","codex.gallery.dropdowns.submenu.trigger":"Chọn thao tác","codex.gallery.dropdowns.title":"Danh sách thả xuống","codex.gallery.inbox.automations.close":"Đóng","codex.gallery.inbox.automations.popover.cardTitle":"Quản lý tự động hóa","codex.gallery.inbox.automations.popover.dialogTitle":"Quản lý tự động hóa","codex.header.settingsTooltip":"Cài đặt","codex.hunk.patch.error":"Đưa vào môi trường thử nghiệm không thành công","codex.hunk.patch.missing":"Không thể tạo bản vá cho hunk này.","codex.hunk.patch.partialSuccess":"Thành công một phần","codex.hunk.patch.revertError":"Gỡ khỏi môi trường thử nghiệm không thành công","codex.hunk.patch.revertSuccess":"Đã gỡ khỏi môi trường thử nghiệm thành công","codex.hunk.patch.success":"Đã đưa vào môi trường thử nghiệm thành công","codex.legal.autonomy.details":"Để biết thêm chi tiết, hãy xem {link}","codex.legal.autonomy.details.link":"Tài liệu Codex","codex.legal.autonomy.title":"Quyết định mức độ tự chủ mà bạn muốn cho phép","codex.legal.backButton":"Quay lại","codex.legal.cloud.taskOne.meta":"openai/agi · 12 tháng 10","codex.legal.cloud.taskOne.title":"Giải thích kho lưu trữ cho nhà thiết kế mới","codex.legal.cloud.taskThree.meta":"openai/codex · 8 tháng 10","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Tạo giao diện chế độ tối","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 tháng 10","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Sửa lỗi thiết lập ban đầu","codex.legal.continue.apikey":"Tiếp tục","codex.legal.continueButton":"Tiếp theo","codex.legal.copilot.details":"Sử dụng gói Copilot của bạn cho tất cả lệnh gọi mô hình, thanh toán và giới hạn sử dụng. Việc sử dụng tiện ích mở rộng Codex phải tuân theo cả {oaiTos} và {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Điều khoản dịch vụ của GitHub","codex.legal.copilot.oaiTosLink":"Điều khoản dịch vụ của OpenAI Codex","codex.legal.copilot.title":"Được hỗ trợ bởi GitHub Copilot","codex.legal.mistakes.review":"Xem xét mã do Codes viết và các lệnh Codex chạy","codex.legal.mistakes.title":"Codex có thể mắc lỗi","codex.legal.powered.details":"Sử dụng giới hạn sử dụng của gói đăng ký của bạn và {link}","codex.legal.powered.details.link":"tùy chọn về việc sử dụng dữ liệu để huấn luyện","codex.legal.powered.title":"Được hỗ trợ bởi tài khoản ChatGPT của bạn","codex.legal.step.cloud.subtitle":"Gửi nhiệm vụ đến Codex để chạy ở chế độ nền để bạn có thể tập trung và làm việc nhanh hơn.","codex.legal.step.cloud.title":"Chuyển giao cho Codex trên đám mây","codex.legal.step.intro.subtitle":"Codex điều hướng, chỉnh sửa, chạy lệnh và thực hiện kiểm tra trực tiếp trong kho lưu trữ của bạn. Được hỗ trợ bởi tài khoản ChatGPT của bạn.","codex.legal.step.intro.title":"Codex trong IDE của bạn","codex.legal.step.todo.subtitle":"Viết ghi chú TODO và chuyển đổi thành một nhiệm vụ trong Codex chỉ bằng một cú nhấp chuột.","codex.legal.step.todo.title":"Biến TODO thành nhiệm vụ Codex","codex.legal.todo.heading":"// TODO: triển khai lược đồ","codex.localConversation.closeImagePreview":"Đóng xem trước hình ảnh","codex.localConversation.userImageAttachment":"Tệp đính kèm của người dùng","codex.localTaskRow.archiveTask":"Lưu trữ chủ đề","codex.localTaskRow.awaitingApproval":"Đang chờ phê duyệt","codex.localTaskRow.awaitingResponse":"Đang chờ phản hồi","codex.localTaskRow.confirmArchiveTask":"Xác nhận","codex.loggedOut.apiKeyPrompt.cancel":"Hủy","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Nhận khóa API","codex.loggedOut.apiKeyPrompt.inputLabel":"Nhập khóa API OpenAI của bạn","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Các nhiệm vụ đám mây bị vô hiệu hóa với khóa API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Các nhiệm vụ đám mây bị vô hiệu hóa với Copilot và khóa API","codex.loggedOut.signIn":"Đăng nhập bằng ChatGPT","codex.loggedOut.signIn.cancel":"Hủy đăng nhập","codex.loggedOut.signInWithCopilot":"Đăng nhập bằng GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Sử dụng khóa API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Công cụ {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Đã gọi","codex.mcpTool.collapsedLabel.verb.calling":"Đang gọi","codex.mcpTool.embeddedResource.contentLabel":"Nội dung","codex.mcpTool.embeddedResource.mimeTypeLabel":"Loại MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Công cụ không trả về nội dung nào","codex.mcpTool.rawPayloadHeading":"Dữ liệu truyền đi trong lệnh gọi công cụ {server}.{tool} gốc","codex.menu.recent":"Gần đây","codex.menu.seeAllHistory":"Xem tất cả lịch sử","codex.modelCapacityBanner.headline.noReset":"{modelName} hiện đang quá tải. Vui lòng thử lại sau, hoặc bắt đầu một cuộc trò chuyện mới với một mô hình khác.","codex.modelCapacityBanner.headline.withReset":"{modelName} hiện đang quá tải. Vui lòng thử lại sau {resetDate}, hoặc bắt đầu một cuộc trò chuyện mới với một mô hình khác.","codex.modelCapacityBanner.title":"Mô hình đã chọn đang quá tải","codex.patch.change.contentsDeleted":"Nội dung đã xóa","codex.patch.change.created":"Đã tạo","codex.patch.change.created-file":"Đã tạo tệp","codex.patch.change.creating":"Đang tạo","codex.patch.change.deleted":"Đã xóa","codex.patch.change.deleted-file":"Đã xóa tệp","codex.patch.change.deleting":"Đang xóa","codex.patch.change.edited":"Đã chỉnh sửa","codex.patch.change.edited-file":"Tệp đã chỉnh sửa","codex.patch.change.editing":"Đang chỉnh sửa","codex.patch.change.noChanges":"Không có thay đổi nào","codex.patch.change.rejected-add":"Bị từ chối","codex.patch.change.rejected-delete":"Bị từ chối","codex.patch.change.rejected-edit":"Bị từ chối","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed}/{total} nhiệm vụ đã hoàn thành","codex.plan.todoListCreated":"Danh sách việc cần làm được tạo có {total} nhiệm vụ","codex.profileDropdown.apiKeyAuth":"Đã đăng nhập bằng khóa API","codex.profileDropdown.codexSettings":"Cài đặt Codex","codex.profileDropdown.copilotAuth":"Đã đăng nhập bằng Copilot","codex.profileDropdown.defaultAccountTitle":"Tài khoản mặc định","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter để gửi câu lệnh dài","codex.profileDropdown.enterBehaviorError":"Cập nhật cài đặt không thành công","codex.profileDropdown.getPlus":"Nâng cấp để được giới hạn cao hơn","codex.profileDropdown.keyboardShortcuts":"Lối tắt bàn phím","codex.profileDropdown.language":"Ngôn ngữ","codex.profileDropdown.languageDefault":"Dò tìm tự động","codex.profileDropdown.languageSearchPlaceholder":"Tìm kiếm ngôn ngữ","codex.profileDropdown.languageUpdateError":"Không cập nhật được ngôn ngữ","codex.profileDropdown.logOut":"Đăng xuất","codex.profileDropdown.mcp":"Cài đặt MCP","codex.profileDropdown.openConfigToml":"Mở config.toml","codex.profileDropdown.openConfigToml.wsl":"Mở config.toml trong môi trường WSL","codex.profileDropdown.openExtensionSettings":"Mở cài đặt","codex.profileDropdown.openMcpSettings":"Mở cài đặt MCP","codex.profileDropdown.openOnStartup":"Mở khi khởi động","codex.profileDropdown.openOnStartupError":"Cập nhật cài đặt không thành công","codex.profileDropdown.openSkillsSettings":"Mở cài đặt Kỹ năng","codex.profileDropdown.personalAccountTitle":"Tài khoản cá nhân","codex.profileDropdown.queueFollowUps":"Xếp nhiệm vụ tiếp theo vào hàng đợi","codex.profileDropdown.queueFollowUpsError":"Cập nhật cài đặt không thành công","codex.profileDropdown.readDocs":"Đọc tài liệu","codex.profileDropdown.readSkillsDocs":"Đọc tài liệu","codex.profileDropdown.runInWsl":"Chạy trong WSL","codex.profileDropdown.runInWslError":"Cập nhật cài đặt không thành công","codex.profileDropdown.runInWslTooltip":"Chạy Codex bên trong WSL. Được khuyến nghị để cải thiện khả năng bảo mật cho môi trường thử nghiệm và có được hiệu suất tốt hơn.","codex.profileDropdown.settings":"Cài đặt IDE","codex.profileDropdown.settingsPage":"Cài đặt","codex.profileDropdown.signInWithOpenAI":"Đăng nhập bằng ChatGPT","codex.profileDropdown.skills":"Cài đặt Kỹ năng","codex.profileDropdown.switchToCopilotAccount":"Sử dụng tài khoản Copilot","codex.profileDropdown.switchToOpenAIAccount":"Sử dụng tài khoản OpenAI","codex.profileDropdown.todoCodelens":"Sửa ghi chú TODO","codex.profileDropdown.todoCodelensError":"Cập nhật cài đặt không thành công","codex.profileDropdown.windowsDocumentation":"Tài liệu Windows","codex.profileFooter.signedInFallback":"Cài đặt","codex.profileFooter.upgrade":"Nâng cấp","codex.recentTasksMenu.clearSearch":"Xóa nội dung tìm kiếm","codex.recentTasksMenu.cloud":"Nhiệm vụ trên đám mây","codex.recentTasksMenu.count":"{count, plural, =0 {Không có nhiệm vụ nào đang tiến hành} other {# nhiệm vụ đang tiến hành}}","codex.recentTasksMenu.empty":"Chưa có luồng nào","codex.recentTasksMenu.errorCloud":"Không tải được nhiệm vụ.","codex.recentTasksMenu.errorCloud.inline":"Không tải được nhiệm vụ trên đám mây.","codex.recentTasksMenu.filterAll":"Tất cả","codex.recentTasksMenu.filterCloudTasks":"Lọc nhiệm vụ trên đám mây","codex.recentTasksMenu.filterTooltip":"Lọc nhiệm vụ theo môi trường","codex.recentTasksMenu.local":"Nhiệm vụ cục bộ","codex.recentTasksMenu.recent":"Tất cả nhiệm vụ","codex.recentTasksMenu.search":"Tìm kiếm các nhiệm vụ gần đây","codex.recentTasksMenu.searchEmpty":"Không có kết quả","codex.recentTasksMenu.tooltip":"Lịch sử nhiệm vụ","codex.recentTasksMenu.trigger":"Nhiệm vụ gần đây. {count, plural, other {# đang tiến hành}}","codex.remoteConversation.applyDiff.applyCta":"Áp dụng thay đổi","codex.remoteConversation.applyDiff.dropdownTitle":"Áp dụng thay đổi cho một nhánh cục bộ","codex.remoteConversation.applyDiff.revertCta":"Hoàn nguyên các thay đổi","codex.remoteConversation.closeImagePreview":"Đóng xem trước hình ảnh","codex.remoteConversation.codexCloudTask":"Bạn đang xem một nhiệm vụ trên <u>đám mây Codex</u>","codex.remoteConversation.errorWithMessage":"Lỗi: {message}","codex.remoteConversation.loadingImage":"Đang tải hình ảnh","codex.remoteConversation.openInWeb":"Mở trong web","codex.remoteConversation.streaming":"Bắt đầu","codex.remoteConversation.turnFailed":"Đã xảy ra lỗi trong quá trình thực hiện nhiệm vụ này","codex.remoteConversation.turnTab.loading":"Lần thực hiện {number}","codex.remoteConversation.turnTab.title":"Lần thực hiện {number}","codex.remoteConversation.userImageAttachment":"Tệp đính kèm của người dùng","codex.remoteConversation.viewPreviousTurns":"Mở trong web","codex.remoteConversation.viewPreviousTurns.buttonText":"Mở","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Mở trong web","codex.review.copyGitApplyCommand":"Sao chép lệnh git apply","codex.review.copyGitApplyCommand.toast":"Đã sao chép lệnh git apply vào bảng nhớ tạm","codex.review.diffTooLarge.description":"Bản so sánh này quá lớn để hiển thị trong phần Xem xét.","codex.review.diffTooLarge.title":"Không thể hiển thị diff vì kích thước quá lớn","codex.review.expandOrCollapseDiffButton.collapse":"Thu gọn tất cả tệp diff","codex.review.expandOrCollapseDiffButton.expand":"Mở rộng tất cả tệp diff","codex.review.expandOrCollapseDiffMenu.collapse":"Thu gọn tất cả tệp diff","codex.review.expandOrCollapseDiffMenu.expand":"Mở rộng tất cả tệp diff","codex.review.fileSearch.clear":"Xóa bộ lọc tệp","codex.review.fileSearch.empty":"Không có tệp nào khớp với bộ lọc hiện tại.","codex.review.fileSearch.label":"Lọc tệp","codex.review.fileSearch.placeholder":"Lọc tệp...","codex.review.filesChanged":"{num, plural, =0 {Không có tệp nào bị thay đổi} other {# tệp đã thay đổi}}","codex.review.find.loadMore":"Tải thêm kết quả phù hợp","codex.review.fullReview.hideFileTree":"Ẩn cây tệp tin","codex.review.fullReview.showFileTree":"Hiện cây tệp tin","codex.review.header.moreOptions":"Các tùy chọn xem trước","codex.review.largeDiff.banner":"Đã phát hiện thấy khác biệt lớn — đang hiển thị từng tệp một.","codex.review.loadFullFiles.disable":"Không tải toàn bộ tệp","codex.review.loadFullFiles.enable":"Tải toàn bộ tệp","codex.review.noDiff":"Các thay đổi tệp sẽ xuất hiện tại đây","codex.review.noDiff.gitInit.createRepository":"Tạo kho lưu trữ Git","codex.review.noDiff.gitInit.creating":"Đang tạo...","codex.review.noDiff.gitInit.error":"Khởi tạo git không thành công: {message}","codex.review.noDiff.gitInit.success":"Đã tạo kho Git","codex.review.noDiff.gitRepoRequired.description":"Theo dõi và hoàn tác các thay đổi trong dự án này","codex.review.noDiff.gitRepoRequired.title":"Tạo kho Git","codex.review.noDiff.orNoLongerAvailable":"hoặc tệp diff mới nhất không còn khả dụng nữa","codex.review.noDiff.reverted":"Lượt cuối cùng đã được hoàn nguyên","codex.review.noDiff.revertedOrCommitted":"Lượt cuối cùng đã được hoàn nguyên hoặc đã commit","codex.review.refreshGitQueries":"Làm mới","codex.review.revert.file.error":"Không thể khôi phục {path}","codex.review.revert.file.partialSuccess":"Đã khôi phục một phần {path}","codex.review.revert.file.success":"Đã khôi phục {path}","codex.review.revert.hunk.error":"Không thể khôi phục lại hunk {hunkNumber} trong {path}","codex.review.revert.hunk.partialSuccess":"Đã khôi phục lại một phần hunk {hunkNumber} trong {path}","codex.review.revert.hunk.success":"Đã khôi phục lại hunk {hunkNumber} trong {path}","codex.review.revert.section.error":"Không thể khôi phục phần","codex.review.revert.section.partialSuccess":"Phần đã được khôi phục một phần","codex.review.revert.section.success":"Phần đã được khôi phục","codex.review.revertDialog.cancel":"Hủy","codex.review.revertDialog.confirm":"Xác nhận","codex.review.revertDialog.message":"Hành động này sẽ xóa tất cả những thay đổi này.","codex.review.revertDialog.skip":"Đừng hỏi lại","codex.review.revertDialog.title":"Hoàn nguyên thay đổi?","codex.review.richPreview.disable":"Tắt chế độ xem trước chi tiết","codex.review.richPreview.enable":"Bật chế độ xem trước chi tiết","codex.review.source.cloud":"Thay đổi trên đám mây","codex.review.source.local.all":"Tất cả các thay đổi với nhánh","codex.review.source.local.lastTurn":"Thay đổi trong lượt cuối","codex.review.source.local.uncommitted":"Những thay đổi chưa commit","codex.review.source.worktree":"Thay đổi với worktree chưa được commit","codex.review.stageFilter.empty.staged.description":"Chấp nhận chỉnh sửa để đưa chúng vào môi trường thử nghiệm","codex.review.stageFilter.empty.staged.title":"Chưa có thay đổi nào được đưa vào môi trường thử nghiệm","codex.review.stageFilter.empty.unstaged.description":"Các thay đổi về mã sẽ hiển thị ở đây","codex.review.stageFilter.empty.unstaged.title":"Không có thay đổi nào chưa được đưa vào môi trường thử nghiệm","codex.review.stageFilter.staged":"Đã thử nghiệm","codex.review.stageFilter.staged.count":"Đã thử nghiệm · {count}","codex.review.stageFilter.unstaged":"Chưa thử nghiệm","codex.review.stageFilter.unstaged.count":"Chưa thử nghiệm · {count}","codex.review.switchToSplit":"Chuyển sang tệp diff phân tách","codex.review.switchToUnified":"Chuyển sang tệp diff thống nhất","codex.review.toggleDiffView":"Chuyển đổi chế độ xem tệp diff","codex.review.wordDiffs.disable":"Tắt chức năng so sánh văn bản","codex.review.wordDiffs.enable":"Bật chức năng so sánh văn bản","codex.review.wrap.disable":"Tắt chức năng xuống dòng tự động","codex.review.wrap.enable":"Bật chức năng xuống dòng tự động","codex.section.patch.missing":"Không thể xây dựng bản vá cho phần này.","codex.shell.collapse":"Thu gọn shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Đã sao chép nội dung shell","codex.shell.copy.copyTooltip":"Sao chép nội dung shell","codex.shell.copyCommand":"Sao chép lệnh","codex.shell.copyOutput":"Sao chép đầu ra","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Mở rộng shell","codex.shell.name":"Shell","codex.shell.noOutput":"Không có đầu ra","codex.signInFailed.message":"Đăng nhập không thành công: {rawMessage}","codex.stories.toast.show":"Hiển thị thông báo ngắn","codex.stories.tooltip.basic":"Đây là chú giải công cụ","codex.stories.tooltip.hoverMe":"Di chuột qua tôi","codex.stories.tooltip.largerOffset":"Chú giải công cụ này có độ lệch lớn hơn","codex.stories.tooltip.offsetButton":"Độ lệch lớn hơn","codex.stories.tooltip.shortcutButton":"Với lối tắt","codex.stories.tooltip.withShortcut":"Chuyển đổi thiết bị đầu cuối","codex.taskRow.title":"Chủ đề mới","codex.taskRowLayout.confirm":"Xác nhận","codex.threadFindBar.chatFilter":"Tìm kiếm đoạn chat","codex.threadFindBar.close":"Đóng lượt tìm","codex.threadFindBar.diffFilter":"Tìm trong tệp diff","codex.threadFindBar.label":"Tìm trong luồng","codex.threadFindBar.nextResult":"Kết quả tiếp theo","codex.threadFindBar.noResults":"0 kết quả","codex.threadFindBar.placeholder":"Tìm trong luồng…","codex.threadFindBar.placeholder.extension":"Tìm trong luồng…","codex.threadFindBar.placeholder.review":"Tìm khác biệt...","codex.threadFindBar.placeholder.review.extension":"Tìm khác biệt...","codex.threadFindBar.previousResult":"Kết quả trước đó","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":".","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# tệp đã thay đổi}}","codex.unifiedDiff.inlineLargeFile":"Quá lớn nên không thể hiển thị nội tuyến","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Hoàn tác","codex.unifiedDiff.revertPatchError":"Không thể hoàn nguyên các thay đổi","codex.unifiedDiff.revertPatchSuccess":"Đã hoàn nguyên thay đổi","codex.unifiedDiff.reviewChangesSuffix":"thay đổi","codex.unifiedDiff.reviewShort":"Xem xét","codex.unifiedDiff.viewDiffTooltip":"Xem xét","codex.upsellBanner.business.headline":"Để có thêm quyền truy cập ngay bây giờ, hãy gửi yêu cầu tới quản trị viên của bạn hoặc đợi đến {resetDate}.","codex.upsellBanner.cbp.headline":"Để có thêm quyền truy cập ngay bây giờ, hãy gửi yêu cầu tới quản trị viên của bạn.","codex.upsellBanner.cta.addCredits":"Thêm điểm credit","codex.upsellBanner.cta.upgradeAccount":"Nâng cấp","codex.upsellBanner.cta.viewUsage":"Xem mức sử dụng","codex.upsellBanner.free.trialHeadline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}. Để tiếp tục sử dụng Codex và truy cập GPT-5.3-Codex, hãy bắt đầu dùng thử miễn phí gói Plus ngay hôm nay.","codex.upsellBanner.freeOrGo.headline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}. Để tiếp tục sử dụng Codex, hãy nâng cấp lên gói Plus ngay hôm nay.","codex.upsellBanner.general.headline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}.","codex.upsellBanner.general.title":"Bạn đã đạt đến giới hạn nhắn tin trong Codex","codex.upsellBanner.go.trialHeadline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}. Để tiếp tục sử dụng Codex, hãy bắt đầu dùng thử miễn phí gói Plus ngay hôm nay.","codex.upsellBanner.plus.headline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}. Để tiếp tục sử dụng Codex, hãy nạp thêm điểm credit hoặc nâng cấp lên Pro ngay hôm nay.","codex.upsellBanner.pro.headline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}. Hãy nạp thêm điểm credit để tiếp tục sử dụng Codex ngay bây giờ.","codex.userMessage.autoResolveSync":"Tự động giải quyết xung đột","codex.userMessage.commentCount":"{count, plural, other {# chú thích}}","codex.userMessage.copiedAriaLabel":"Đã sao chép","codex.userMessage.copiedTooltip":"Đã sao chép","codex.userMessage.copyAriaLabel":"Sao chép tin nhắn","codex.userMessage.copyTooltip":"Sao chép","codex.userMessage.implementPlan":"Thực thi kế hoạch","codex.userMessage.noContent":"(Không có nội dung)","codex.userMessage.priorConversation":"Tham chiếu các cuộc trò chuyện trước đó","codex.userMessage.reviewMode":"Chế độ xem lại","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"dành cho {query}","codex.webSearch.summary.verb.completed":"Đã tìm kiếm trên mạng","codex.webSearch.summary.verb.inProgress":"Đang tìm kiếm trên mạng","codex.windowsInstallWslBanner.dismiss":"Bỏ qua","codex.windowsInstallWslBanner.installWslCta":"Kích hoạt sandbox","codex.windowsInstallWslBanner.learnMore":"Tìm hiểu thêm","codex.windowsSandboxBanner.content":"Chế độ tác nhân sử dụng sandbox thử nghiệm trên Windows để hạn chế quyền truy cập hệ thống tệp và mạng. {sandboxLink}","codex.windowsSandboxBanner.title":"Bật sandbox cho chế độ Tác nhân","codex.windowsSubDropdown.windowsSandbox":"Sandbox Windows","codex.windowsSubDropdown.windowsSettings":"Cài đặt Windows","codexUpgradeModal.body":"Mô hình viết mã tự chủ tiên tiến nhất của chúng tôi — thông minh hơn, nhanh hơn và có khả năng thực hiện các nhiệm vụ kỹ thuật nói chung tốt hơn. {link}","codexUpgradeModal.close":"Đóng","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Tìm hiểu thêm","codexUpgradeModal.title":"Giới thiệu GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Dùng thử GPT-5.3-Codex ngay","codexUpgradeModal.useExistingModel":"Tiếp tục sử dụng mô hình hiện tại","commentAttachments.numComments":"{count, plural, other {# chú thích}}","commentAttachments.removeAriaLabel":"Xóa tệp đính kèm chứa chú thích","common.close":"Đóng","composer.addContext.openFilePickerError":"Không thể mở công cụ chọn tệp","composer.addContextDropdown.ariaLabel":"Thêm tệp và nhiều tính năng khác","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Thêm tệp và nhiều tính năng khác","composer.addPhotosAndFiles":"Thêm ảnh và tệp","composer.atMentionList.emptyQuery":"Nhập để tìm kiếm tệp","composer.atMentionList.loading":"Đang tìm kiếm...","composer.atMentionList.noResults":"Không có kết quả","composer.attemptsSelector.option":"{count, plural, other {# phiên bản}}","composer.attemptsSelector.tooltip":"Số lượng các lần thực hiện song song mà Codex tiến hành","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Dừng lại","composer.cloudFollowUp.cloud":"Đám mây","composer.cloudFollowUp.local":"Cục bộ","composer.cloudFollowUp.whereRun":"Hành động tiếp theo này nên diễn ra ở đâu?","composer.cloudTaskCreationError":"Lỗi khi tạo nhiệm vụ đám mây","composer.cloudTaskError":"Lỗi khi tạo nhiệm vụ","composer.contextWindow.autoCompactionTooltipLine1":"Codex tự động thu gọn ngữ cảnh","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Cửa sổ ngữ cảnh:","composer.contextWindowUsageStatusFull":"Đầy {usage}%","composer.contextWindowUsageStatusLeft":"Đã sử dụng {usage}% (còn lại {remaining}%)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k token được sử dụng","composer.customCliTooltip":"Sử dụng tệp thực thi CLI tùy chỉnh","composer.dictation.aria":"Chép lời","composer.dictation.cancel.aria":"Dừng chép chính tả","composer.dictation.cancel.tooltip":"Dừng chép chính tả","composer.dictation.startError":"Không thể bắt đầu nghe chép","composer.dictation.submit.aria":"Chép lời và gửi","composer.dictation.submit.tooltip":"Chép lời và gửi","composer.dictation.tooltip":"Giữ để chép lời","composer.dictation.transcribeError":"Không thể chép lời âm thanh","composer.dictation.unsupported":"Chức năng nghe chép không khả dụng trên thiết bị này","composer.dropOverlay.holdShift":"Giữ {key} để thả","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Tạo mới","composer.environmentSelector.error":"Lỗi khi tải môi trường","composer.environmentSelector.goBack":"Quay lại trình soạn thảo","composer.environmentSelector.title":"Chọn môi trường","composer.environmentSelector.tooltip":"Chọn một môi trường đám mây","composer.feedbackSlashCommand.title":"Phản hồi","composer.filePicker.selectFile":"Chọn một tệp","composer.filePicker.selectFiles":"Chọn nhiều tệp","composer.followerTooltip":"Để tiếp tục, hãy quay lại cửa sổ nơi cuộc trò chuyện này bắt đầu.","composer.footer.branchSwitch.checkoutError":"Không thể chuyển đổi nhánh: {message}","composer.footer.branchSwitch.createAndCheckout":"Tạo và chuyển sang nhánh mới…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Commit thay đổi để tạo và chuyển sang một nhánh mới","composer.footer.branchSwitch.createBranchError":"Không thể tạo nhánh: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Tên nhánh","composer.footer.branchSwitch.createDialog.branchExistsError":"Nhánh đã tồn tại.","composer.footer.branchSwitch.createDialog.close":"Đóng","composer.footer.branchSwitch.createDialog.createAndCheckout":"Tạo và chuyển đổi","composer.footer.branchSwitch.createDialog.placeholder":"nhánh-mới","composer.footer.branchSwitch.createDialog.title":"Tạo và chuyển đổi nhánh","composer.footer.branchSwitch.createDialog.trailingSlashError":"Tên nhánh không được kết thúc bằng dấu “/”.","composer.footer.branchSwitch.tooltip":"Chuyển đổi nhánh","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Lưu thay đổi vào {fileCount, plural, other {# tệp}} để kiểm tra {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"thay đổi trong {fileCount, plural, other {# tệp}} để kiểm tra {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Hủy","composer.footer.branchSwitch.uncommittedDialog.commit":"Lưu và chuyển nhánh","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Những thay đổi của bạn đối với các tập tin sau sẽ bị ghi đè bởi thao tác checkout:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Vui lòng xác nhận các thay đổi của bạn để tiếp tục","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"nhánh đã chọn","composer.footer.branchSwitch.uncommittedDialog.title":"Lưu thay đổi để chuyển nhánh","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Chưa commit: {fileCount, plural, other {# tệp}}","composer.forkSlashCommand.description":"Sao chép luồng này thành một worktree cục bộ hoặc mới","composer.forkSlashCommand.option.local.description":"Tiếp tục trên luồng cục bộ mới","composer.forkSlashCommand.option.local.title":"Sao chép vào cục bộ","composer.forkSlashCommand.option.worktree.description":"Tiếp tục trong worktree mới","composer.forkSlashCommand.option.worktree.title":"Sao chép vào worktree mới","composer.forkSlashCommand.title":"Sao chép","composer.ideContextIndicator":"Ngữ cảnh IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Bao gồm ngữ cảnh từ IDE","composer.ideContextIndicator.tooltipToggle":"để chuyển đổi","composer.ideContextSlashCommand.disableDescription":"Tắt ngữ cảnh IDE","composer.ideContextSlashCommand.enableDescription":"Bao gồm lựa chọn hiện tại, các tệp đang mở và thông tin ngữ cảnh khác từ IDE của bạn","composer.ideContextSlashCommand.title":"Ngữ cảnh IDE","composer.imageInputsUnsupported":"Mô hình này không hỗ trợ nhận hình ảnh. Hãy thử một mô hình khác.","composer.imageUploadFailed":"Không tải được hình ảnh","composer.includeIdeContextDropdown":"Bao gồm ngữ cảnh IDE","composer.includeIdeContextDropdown.ariaLabel":"Bao gồm ngữ cảnh IDE","composer.localCwdDropdown.addWorkspaceRoot":"Thêm dự án mới","composer.localCwdDropdown.noActiveRoot":"Chọn dự án của bạn","composer.localCwdDropdown.noResults":"Không tìm thấy thư mục nào","composer.localCwdDropdown.title":"Chọn dự án của bạn","composer.localTaskError":"Lỗi khi bắt đầu cuộc trò chuyện","composer.mcpSlashCommand.description":"Hiển thị trạng thái máy chủ MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Chưa được xác thực","composer.mcpStatus.authOauth":"Đã xác thực (OAuth)","composer.mcpStatus.authToken":"Đã xác thực (API key)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Đóng","composer.mcpStatus.disabled":"Bị vô hiệu","composer.mcpStatus.emptyLabel":"Máy chủ:","composer.mcpStatus.emptyValue":"Chưa có máy chủ MCP nào được định cấu hình","composer.mcpStatus.enabled":"Đã cho phép","composer.mcpStatus.errorLabel":"Trạng thái:","composer.mcpStatus.errorValue":"Không thể tải trạng thái MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Tác nhân","composer.mode.agentMode.auto.dropdownLabel":"Tác nhân","composer.mode.agentMode.auto.optionLabel":"Tác nhân","composer.mode.agentMode.changePermission":"Đổi chế độ","composer.mode.agentMode.custom":"Tùy chỉnh","composer.mode.agentMode.custom.dropdownLabel":"Tùy chỉnh","composer.mode.agentMode.custom.option":"Tùy chỉnh (config.toml)","composer.mode.agentMode.custom.optionLabel":"Tùy chỉnh (config.toml)","composer.mode.agentMode.customInfo.cancel":"Hủy","composer.mode.agentMode.customInfo.cli":"Bạn có thể điều chỉnh các cài đặt đó từ CLI hoặc bằng cách chỉnh sửa tệp trực tiếp.","composer.mode.agentMode.customInfo.confirm":"Sử dụng chế độ tùy chỉnh","composer.mode.agentMode.customInfo.description":"Chế độ tùy chỉnh áp dụng các chính sách về môi trường thử nghiệm và yêu cầu phê duyệt được xác định trong tệp <link>config.toml</link> của bạn.","composer.mode.agentMode.customInfo.docs":"Tìm hiểu thêm về cách cấu hình chính sách về môi trường thử nghiệm và yêu cầu phê duyệt trong <link>tài liệu môi trường thực thi</link>.","composer.mode.agentMode.customInfo.refresh":"Mọi thay đổi sẽ có hiệu lực vào lượt chạy tiếp theo của tác nhân.","composer.mode.agentMode.customInfo.title":"Cách hoạt động của chế độ tùy chỉnh","composer.mode.agentMode.fullAccess":"Tác nhân (toàn quyền truy cập)","composer.mode.agentMode.fullAccess.dropdownLabel":"Tác nhân (toàn quyền truy cập)","composer.mode.agentMode.fullAccess.optionLabel":"Tác nhân (toàn quyền truy cập)","composer.mode.agentMode.fullAccessConfirm.caution":"Hãy thận trọng khi cấp toàn quyền truy cập. Điều này làm tăng đáng kể nguy cơ mất dữ liệu, rò rỉ dữ liệu hoặc hành vi bất ngờ.","composer.mode.agentMode.fullAccessConfirm.confirm":"Có, hãy tiếp tục","composer.mode.agentMode.fullAccessConfirm.description":"Khi chạy với toàn quyền truy cập, Codex có thể chỉnh sửa bất kỳ tệp nào trên máy tính của bạn và chạy lệnh qua mạng mà không cần bạn phê duyệt.","composer.mode.agentMode.fullAccessConfirm.goBack":"Hủy","composer.mode.agentMode.fullAccessConfirm.title":"Cho phép toàn quyền truy cập?","composer.mode.agentMode.readOnly":"Đoạn chat","composer.mode.agentMode.readOnly.dropdownLabel":"Đoạn chat","composer.mode.agentMode.readOnly.optionLabel":"Đoạn chat","composer.mode.agentMode.tooltip":"Đổi chế độ","composer.mode.agentMode.tooltip.auto":"Đọc và chỉnh sửa tệp và chạy lệnh.","composer.mode.agentMode.tooltip.custom":"Sử dụng chính sách về môi trường thử nghiệm và yêu cầu phê duyệt mới nhất được xác định trong config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex có thể chỉnh sửa các tệp bên ngoài dự án và chạy các lệnh khi có kết nối mạng. Hãy thận trọng khi sử dụng.","composer.mode.agentMode.tooltip.readOnly":"Yêu cầu phê duyệt để chỉnh sửa tệp và chạy lệnh.","composer.mode.cloud.tooltip":"Làm việc trong môi trường đám mây","composer.mode.contactAdmin":"Để có thêm quyền truy cập, hãy liên hệ với quản trị viên của bạn","composer.mode.local":"Cục bộ","composer.mode.local.learnMore":"Tìm hiểu thêm","composer.mode.local.model.custom":"Tùy chỉnh","composer.mode.local.model.loadingModel":"Đang tải mô hình","composer.mode.local.model.selecrReasoningEffort":"Chọn chế độ suy luận","composer.mode.local.model.selectModel":"Chọn mô hình","composer.mode.local.model.tooltip":"Chọn mô hình","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Cao","composer.mode.local.reasoning.low.label":"Thấp","composer.mode.local.reasoning.medium.label":"Trung bình","composer.mode.local.reasoning.minimal.label":"Nhanh","composer.mode.local.reasoning.none.label":"Không suy luận","composer.mode.local.reasoning.xhigh.label":"Cực cao","composer.mode.localRemoteWhereRun":"Chọn nơi để chạy nhiệm vụ","composer.mode.newTask.header":"Tiếp tục sau","composer.mode.rateLimit.day":"{days} ngày","composer.mode.rateLimit.heading":"Giới hạn sử dụng còn lại","composer.mode.rateLimit.hour":"{hours} giờ","composer.mode.rateLimit.minute":"{minutes} phút","composer.mode.rateLimit.modelSectionLabel":"Giới hạn {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {Giới hạn {weeks} tuần}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} tuần}}","composer.mode.remote.connectToCloud":"Kết nối Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Thiết lập môi trường qua Codex web để cho phép gửi nhiệm vụ lên đám mây","composer.mode.remote.selectEnvironment":"Chọn môi trường","composer.mode.remote.sendToCloud":"Gửi lên đám mây","composer.mode.remote.setupViaWeb":"Thiết lập môi trường thông qua Codex web","composer.mode.runInCloud":"Đám mây","composer.mode.runInCloudWithEnvironment":"Đám mây · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Hoạt động trong môi trường đám mây","composer.mode.segmentedToggle.local.tooltip":"Làm việc trong dự án cục bộ của bạn","composer.mode.segmentedToggle.worktree.tooltip":"Hoạt động trong worktree song song","composer.mode.upgradeToPlus":"Nâng cấp lên Plus","composer.mode.upgradeToPro":"Nâng cấp lên Pro","composer.mode.workLocally":"Dự án cục bộ","composer.mode.workLocally.currentBranchFallback":"nhánh của bạn","composer.mode.workLocally.tooltip":"Làm việc trên {branchName}","composer.mode.worktree":"Worktree mới","composer.mode.worktree.submoduleWarning":"Kho lưu trữ này có các mô-đun phụ git. Quá trình tạo worktree có thể không thành công.","composer.mode.worktree.tooltip":"Tạo một bản sao của dự án cục bộ để làm việc song song","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Việc thay đổi mô hình giữa cuộc trò chuyện sẽ làm giảm hiệu suất.","composer.newChat.heading.browser":"Chúng ta nên viết mã gì tiếp theo?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex sử dụng quyền được quy định trong tệp config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex có quyền truy cập đầy đủ vào máy tính của bạn (nguy cơ cao)","composer.permissionsDropdown.custom.label":"Tùy chỉnh (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Tùy chỉnh (config.toml)","composer.permissionsDropdown.default.label":"Quyền mặc định","composer.permissionsDropdown.default.optionLabel":"Quyền mặc định","composer.permissionsDropdown.default.tooltip":"Codex tự động chạy các lệnh trong một môi trường thử nghiệm","composer.permissionsDropdown.disabled.requirements":"Các quyền được quy định bởi requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Khả năng truy cập toàn quyền bị vô hiệu bởi requirements.toml","composer.permissionsDropdown.fullAccess.label":"Toàn quyền truy cập","composer.permissionsDropdown.fullAccess.optionLabel":"Toàn quyền truy cập","composer.permissionsDropdown.trigger.tooltip":"Thay đổi quyền","composer.personalitySlashCommand.description.friendly":"Ấm áp, có tinh thần hợp tác và hữu ích","composer.personalitySlashCommand.description.pragmatic":"Ngắn gọn, tập trung vào nhiệm vụ và thẳng thắn","composer.personalitySlashCommand.label.friendly":"Thân thiện","composer.personalitySlashCommand.label.pragmatic":"Thực tế","composer.personalitySlashCommand.notApplicableSuffix":"(Không áp dụng cho mô hình hiện tại)","composer.personalitySlashCommand.title":"Tính cách","composer.placeholder.cloudFollowUp.directFollowUp":"Hành động tiếp theo cho nhiệm vụ đám mây này","composer.placeholder.cloudFollowUp.local":"Tạo một nhiệm vụ cục bộ mới tham chiếu đến nhiệm vụ đám mây này","composer.placeholder.cloudFollowUp.workingTree":"Tạo một nhiệm vụ đám mây mới bao gồm mã hiện tại của bạn và sẽ tham chiếu đến nhiệm vụ này","composer.placeholder.localFollowUp.cloud":"Tiếp tục trong một nhiệm vụ đám mây mới","composer.placeholder.localFollowUp.locally":"Yêu cầu thay đổi tiếp theo","composer.placeholder.newTask.cloud":"Yêu cầu Codex thực hiện bất kỳ thao tác nào trên đám mây","composer.placeholder.newTask.doAnything":"Yêu cầu Codex làm bất cứ điều gì","composer.placeholder.newTask.locally":"Hãy hỏi Codex bất cứ điều gì, dùng @ để thêm tệp, / để sử dụng lệnh.","composer.planModeDropdown":"Chế độ lập kế hoạch","composer.planModeDropdown.ariaLabel":"Chế độ lập kế hoạch","composer.planModeIndicator":"Kế hoạch","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Tạo kế hoạch với Codex","composer.planModeIndicator.tooltipToggle":"để chuyển đổi","composer.planSlashCommand.disableDescription":"Tắt chế độ lập kế hoạch","composer.planSlashCommand.enableDescription":"Bật chế độ lập kế hoạch","composer.planSlashCommand.title":"Chế độ lập kế hoạch","composer.priorContext.label":"Bối cảnh trước đó","composer.priorContext.removeAriaLabel":"Xóa ngữ cảnh trước đó","composer.queuedMessage.delete":"Xóa tin nhắn trong hàng đợi","composer.queuedMessage.edit":"Chỉnh sửa tin nhắn","composer.queuedMessage.more":"Hành động với tin nhắn trong hàng đợi","composer.queuedMessage.sendNow":"Điều khiển","composer.queuedMessage.sendNowTooltip":"Gửi ngay mà không làm gián đoạn công việc","composer.queuedMessage.turnOff":"Tắt tính năng đưa vào hàng đợi","composer.reasoningEffort.local.reasoning.tooltip":"Chọn mức độ suy luận","composer.remote.branchStartingPoint":"Nhiệm vụ này nên bắt đầu từ nhánh nào?","composer.remote.branchesSectionHeading":"Nhánh","composer.remote.currentEditsSuffix.followUp":"Tạo một nhiệm vụ mới tham chiếu đến nhiệm vụ đám mây này.","composer.remote.currentEditsSuffix.useLocal":"với thay đổi mã cục bộ","composer.remote.directFollowUp":"Không sử dụng các thay đổi cục bộ","composer.remote.errorLoadingBranches":"Lỗi khi tải nhánh","composer.remote.fromBranch":"Từ {branch}","composer.remote.fromCurrentBranch":"Từ {branch} (hiện tại)","composer.remote.loadingMoreBranches":"Đang tải…","composer.remote.localFileStateHeading":"Trạng thái tệp cục bộ","composer.remote.localWorkingTree":"Sử dụng các thay đổi cục bộ","composer.remote.startingPoint":"Nhiệm vụ này nên bắt đầu từ mã nào?","composer.reviewMode.branches.error":"Không thể tải các nhánh","composer.reviewMode.branches.retry":"Thử lại","composer.reviewMode.gitRoot.error":"Không tìm thư mục gốc trong Git","composer.reviewMode.option.baseBranch.simple":"Đối chiếu với một nhánh gốc","composer.reviewMode.option.unstaged.simple":"Xem xét các thay đổi chưa commit","composer.reviewMode.quickReviewError":"Không thể bắt đầu xem xét mã.","composer.reviewMode.title":"Xem xét mã","composer.sandboxButton.unlock.disabled.tooltip":"Khả năng truy cập toàn quyền bị vô hiệu bởi requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex sử dụng môi trường thử nghiệm trên Windows để hạn chế quyền truy cập hệ thống tệp và mạng. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Kích hoạt môi trường thử nghiệm Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Sử dụng chế độ chỉ đọc","composer.searchEnvironments":"Tìm kiếm môi trường","composer.skillMentionList.app":"Ứng dụng","composer.skillMentionList.loading":"Đang tải kỹ năng...","composer.skillMentionList.noResults":"Không tìm thấy kỹ năng nào","composer.slashCommands.cloudEnvironment.title":"Môi trường đám mây","composer.slashCommands.dialogLabel":"Menu lệnh Slash","composer.slashCommands.dialogTitle":"Lệnh Slash","composer.slashCommands.disabledTooltip":"Bắt đầu một cuộc trò chuyện mới để sử dụng lệnh Slash","composer.slashCommands.inputPlaceholder":"Tìm kiếm","composer.slashCommands.noResults":"Không có lệnh nào","composer.slashCommands.skillsGroup":"Kỹ năng","composer.slashCommands.tooltip":"Duyệt xem các lệnh Slash","composer.status.close":"Đóng","composer.statusPlain.alertLabel":"Báo động:","composer.statusPlain.alertValue":"Còn {remaining}% trên {window}","composer.statusPlain.contextLabel":"Ngữ cảnh:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"(đã sử dụng {used}/{total})","composer.statusPlain.contextValueRemaining":"Còn lại {remaining}","composer.statusPlain.heading":"Trạng thái","composer.statusPlain.modelRateLimitSectionLabel":"Giới hạn {modelName}:","composer.statusPlain.rateLimitDays":"Giới hạn {count} ngày","composer.statusPlain.rateLimitFallbackLabel":"Giới hạn sử dụng:","composer.statusPlain.rateLimitHours":"Giới hạn {count} giờ","composer.statusPlain.rateLimitLabelBase":"Giới hạn sử dụng","composer.statusPlain.rateLimitMinutes":"Giới hạn {count} phút","composer.statusPlain.rateLimitPercent":"Còn lại {remaining}","composer.statusPlain.rateLimitReset":"đặt lại vào {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"không có thời gian đặt lại","composer.statusPlain.rateLimitUnavailable":"Không có","composer.statusPlain.sessionCopiedAriaLabel":"Đã sao chép id phiên","composer.statusPlain.sessionCopiedTooltip":"Đã sao chép ID","composer.statusPlain.sessionCopyAriaLabel":"Sao chép id phiên","composer.statusPlain.sessionCopyTooltip":"Sao chép ID","composer.statusPlain.sessionLabel":"Phiên:","composer.statusSlashCommand.description":"Hiển thị ID luồng, mức sử dụng ngữ cảnh và giới hạn sử dụng.","composer.statusSlashCommand.title":"Trạng thái","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Không thể gửi tin nhắn","composer.submit.emptyMessage":"Nhập một tin nhắn để bắt đầu","composer.submit.imageInputsUnsupported":"Xóa hình ảnh hoặc chuyển đổi mô hình để gửi tin nhắn này.","composer.submit.loadingLocalConfig":"Đang tải…","composer.submit.missingCloudConfig":"Bạn phải chọn một môi trường đám mây","composer.submit.missingCloudTurn":"Không thể thực hiện hành động tiếp theo với nhiệm vụ này","composer.submit.noWorkspace":"Thêm dự án để sử dụng Codex","composer.submit.waitForImageUploads":"Đang tải hình ảnh lên…","composer.submitButtonTooltip.send":"Gửi","composer.submitButtonTooltip.stop":"Dừng lại","composer.worktreeEnvironment.create":"Tạo môi trường cục bộ","composer.worktreeEnvironment.default":"Môi trường mặc định","composer.worktreeEnvironment.error":"Lỗi khi tải môi trường","composer.worktreeEnvironment.loading":"Đang tải môi trường…","composer.worktreeEnvironment.title":"Môi trường cục bộ","composer.worktreeEnvironment.tooltip":"Chọn một môi trường cục bộ","composer.worktreeSetupFailed":"Thiết lập worktree không thành công. Hãy kiểm tra .codex/environments để tìm tập lệnh thiết lập.","compoundButton.secondaryAction":"Hành động thứ cấp","copyButton.copied":"Đã sao chép","copyButton.copiedAriaLabel":"Đã sao chép","copyButton.copy":"Sao chép","copyButton.copyAriaLabel":"Sao chép","copyButton.copyCode":"Sao chép mã","diff.actionButton.revertFile":"Khôi phục tệp","diff.actionButton.revertHunk":"Khôi phục","diff.actionButton.revertSection":"Khôi phục tất cả","diff.actionButton.revertSectionLabel":"Khôi phục tất cả","diff.actionButton.stageFile":"Đưa tệp vào môi trường thử nghiệm","diff.actionButton.stageHunk":"Thử nghiệm","diff.actionButton.stageSection":"Đưa tất cả vào môi trường thử nghiệm","diff.actionButton.stageSectionLabel":"Đưa tất cả vào môi trường thử nghiệm","diff.actionButton.unstageFile":"Gỡ tệp khỏi môi trường thử nghiệm","diff.actionButton.unstageHunk":"Gỡ khỏi môi trường thử nghiệm","diff.actionButton.unstageSection":"Gỡ tất cả khỏi môi trường thử nghiệm","diff.actionButton.unstageSectionLabel":"Gỡ tất cả khỏi môi trường thử nghiệm","diff.fileHeader.toggle":"Bật/tắt tính năng so sánh tệp","electron.onboarding.login.apikey.cancel":"Hủy","electron.onboarding.login.apikey.continue":"Tiếp tục","electron.onboarding.login.apikey.label":"Mở khóa API OpenAI","electron.onboarding.login.apikey.open":"Nhập khóa API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Hủy đăng nhập","electron.onboarding.login.chatgpt.continue":"Tiếp tục với ChatGPT","electron.onboarding.login.devbox":"Kết nối với SSH từ xa","electron.onboarding.login.error":"Đăng nhập không thành công: {rawMessage}","electron.onboarding.login.snake.start":"Phát Snake","electron.onboarding.login.sshConfig.cancel":"Hủy","electron.onboarding.login.sshConfig.continue":"Tiếp tục","electron.onboarding.login.sshConfig.hostnameLabel":"Tên máy chủ SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Cách tốt nhất để xây dựng với tác nhân","electron.onboarding.login.title":"Chào mừng bạn đến với Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Tiếp tục","electron.onboarding.welcome.doubleLimits.description":"Để chào mừng dịp ra mắt ứng dụng Codex, bạn sẽ được hưởng giới hạn sử dụng cao gấp 2 lần đến hết ngày 2 tháng 4.","electron.onboarding.welcome.freego.description":"Codex sẽ đi kèm miễn phí với gói dịch vụ của bạn đến ngày 2 tháng 3 – hãy bắt đầu xây dựng cùng nhau.","electron.onboarding.welcome.new.title.anon":"Chào mừng bạn!","electron.onboarding.workspace.continue":"Tiếp tục","electron.onboarding.workspace.empty":"Thêm dự án để tiếp tục.","electron.onboarding.workspace.listLabel":"Các dự án khả dụng","electron.onboarding.workspace.loading":"Đang tải dự án...","electron.onboarding.workspace.openFolder":"Thêm dự án","electron.onboarding.workspace.selectAll":"Chọn tất cả","electron.onboarding.workspace.skip":"Bỏ qua","electron.onboarding.workspace.skip.error":"Không thể tạo dự án mới: {message}","electron.onboarding.workspace.skip.error.unknown":"Lỗi không xác định","electron.onboarding.workspace.skipping":"Đang tạo dự án mới...","electron.onboarding.workspace.subtitle":"Codex sẽ có thể chỉnh sửa tệp và chạy lệnh trong các thư mục đã chọn.","electron.onboarding.workspace.title":"Chọn dự án","errorPage.list.checkSettings":"Thử cập nhật cài đặt IDE của bạn","errorPage.list.configToml":"Kiểm tra config.toml của bạn để tìm các cài đặt không hợp lệ","errorPage.list.downloadExtension":"Thử tải xuống phiên bản khác của tiện ích mở rộng","errorPage.list.runInWsl":"Kiểm tra cài đặt của bạn để vô hiệu hóa tùy chọn chạy trong WSL nếu bạn thấy sự cố tương thích","execApprovalRequest.menu.runAlways":"Có và không hỏi lại phiên này","execApprovalRequest.menu.runAlwaysWithAmendment":"Có, và đừng hỏi lại đối với những lệnh bắt đầu bằng {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Có, và đừng hỏi lại với những lệnh bắt đầu bằng","execApprovalRequest.menu.runOnce":"Có","execApprovalRequest.prompt":"Bạn có muốn chạy lệnh này?","execApprovalRequest.reject":"Không","execFooter.exitCode":"Thoát mã {code}","execFooter.exitCode.unknown":"không xác định","execFooter.success":"Thành công","feedback.dialog.category.badResult":"Kết quả không hợp lệ","feedback.dialog.category.bug":"Lỗi","feedback.dialog.category.goodResult":"Kết quả hợp lệ","feedback.dialog.category.other":"Khác","feedback.dialog.descriptionPlaceholder":"Mô tả vấn đề ở đây","feedback.dialog.dismiss":"Bỏ qua","feedback.dialog.includeLogsLabel":"Bao gồm nhật ký phiên Codex hiện tại","feedback.dialog.submit":"Gửi","feedback.dialog.submitError":"Chúng tôi không thể gửi phản hồi của bạn. Vui lòng thử lại sau giây lát.","feedback.dialog.title":"Phản hồi","feedback.dialog.uploadedMessage.existingIssue":"vấn đề hiện vẫn đang mở","feedback.dialog.uploadedMessage.openIssue":"mở một vấn đề GitHub","feedback.dialog.uploadedMessage.withThread":"Đã tải phản hồi lên. Nếu sự cố vẫn tiếp diễn, vui lòng {openIssueLink} hoặc đề cập đến ID chủ đề trong {existingIssueLink}:","feedback.dialog.uploadedTitle":"Đã tải phản hồi lên","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Loại bỏ {filename}","header.back":"Quay lại","header.recentChats":"Nhiệm vụ","header.recentTasks.seeAll":"Xem tất cả ({total})","home.header.getPlus":"Dùng bản Plus","home.hero.letsBuild":"Hãy cùng nhau xây dựng","homePage.mainContent":"Nội dung chính","imageAttachment.defaultName":"hình ảnh","imageAttachment.preview.close":"Đóng xem trước hình ảnh","imageAttachment.removeAriaLabel":"Loại bỏ {filename}","implementPlanRequest.option.implement":"Đúng, hãy thực thi kế hoạch này","implementPlanRequest.prompt":"Thực thi kế hoạch này?","inbox.archived.deleteError":"Không thể xóa bản ghi đã lưu trữ","inbox.archived.deleteRun":"Xóa lần chạy đã lưu trữ","inbox.archived.deleteSuccess":"Đã xóa luồng được lưu trữ. Vui lòng xem trong <settingsLink>Các luồng đã lưu trữ</settingsLink>.","inbox.archived.inlineLabel.auto":"Luồng này đã được tự động lưu trữ. <learnMoreLink>Tìm hiểu thêm</learnMoreLink>","inbox.archived.inlineLabel.manual":"Luồng này đã được lưu trữ.","inbox.archived.noMessageFound":"Không tìm thấy tin nhắn nào","inbox.automations.createError":"Không thể tạo tự động hóa","inbox.automations.deleteConfirm.cancel":"Hủy","inbox.automations.deleteConfirm.confirm":"Xóa quy trình tự động hóa","inbox.automations.deleteConfirm.description":"Thao tác này sẽ xóa vĩnh viễn quy trình tự động hóa và ngăn chặn mọi lần chạy trong tương lai.","inbox.automations.deleteConfirm.title":"Xóa {name}?","inbox.automations.deleteError":"Không thể xóa quy trình tự động hóa","inbox.automations.editTooltip":"Chỉnh sửa tùy chọn tự động hóa","inbox.automations.inProgress":"Đang tiến hành","inbox.automations.new":"Mới","inbox.automations.newToolbar":"Tùy chọn tự động hóa mới","inbox.automations.pauseTooltip":"Tạm dừng tự động hóa","inbox.automations.resumeTooltip":"Tiếp tục tự động hóa","inbox.automations.startingNow":"Bắt đầu ngay","inbox.automations.startsIn":"Bắt đầu trong {startTime}","inbox.automations.status.active":"Hoạt động","inbox.automations.status.paused":"Đã tạm dừng","inbox.automations.status.runs":"{count} lần chạy","inbox.automations.status.started":"Đã bắt đầu {date}","inbox.automations.updateError":"Không thể cập nhật quy trình tự động hóa","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tất cả","inbox.filter.ariaLabel":"Lọc mục chưa đọc trong hộp thư đến","inbox.filter.unread":"Chưa đọc","inbox.list.archived":"Đã lưu trữ","inbox.list.inProgress":"Đang tiến hành","inbox.list.recent":"Đã hoàn thành","inbox.list.upNext":"Đã lên lịch","inbox.mode.automations":"Tự động hóa","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Không có nội dung mô tả nào được cung cấp","inbox.openThread":"Mở luồng","inbox.rightPanel.emptySubtitle":"Tự động hóa công việc bằng cách thiết lập các nhiệm vụ theo lịch trình.","inbox.rightPanel.emptySubtitle.learnMore":"Tự động hóa công việc bằng cách thiết lập các nhiệm vụ theo lịch trình. <link>Tìm hiểu thêm</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# quy trình tự động hóa đang hoạt động}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Không có quy trình tự động hóa nào chưa đọc","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# quy trình tự động hóa chưa đọc}}","inbox.rightPanel.emptyTitle":"Chưa có mục nào được chọn","inbox.rightPanel.noThread":"Không có luồng nào cho mục này","inbox.rightPanel.quickStart.header":"Bắt đầu với một mẫu","inbox.untitled":"Mục không có tiêu đề trong hộp thư đến","loadingPage.documentationLink":"tài liệu","loadingPage.errorDescription":"Codex ngừng hoạt động do gặp lỗi sau:","loadingPage.errorDescription.documentation":"Nhấp vào tải lại để khởi động lại tiện ích mở rộng Codex hoặc truy cập trang web {documentationLink} của chúng tôi để được trợ giúp thêm.","loadingPage.errorSignal":"Một số bước có thể thử:","loadingPage.errorTitle":"Đã xảy ra lỗi","loadingPage.openConfigToml":"Mở Config.toml","loadingPage.reload":"Tải lại","localConversation.contextCompacted":"Ngữ cảnh được tự động nén","localConversation.contextCompacting":"Tự động nén ngữ cảnh","localConversation.forkedFromConversation":"Được sao chép từ {threadTitle}","localConversation.merge.autoResolve.failed":"Không thể yêu cầu tự động giải quyết xung đột: {error}","localConversation.merge.autoResolve.sent":"Yêu cầu tự động giải quyết xung đột đã được gửi","localConversation.merge.autoResolveMerge.missingConversation":"Không thể tự động giải quyết xung đột nếu không có cuộc trò chuyện nào đang diễn ra.","localConversation.merge.autoResolveMerge.request":"Tự động giải quyết xung đột gộp mã","localConversation.modelChanged":"Mô hình đã thay đổi từ thành {fromModel} thành {toModel}.","localConversation.modelChanged.warning.line1":"Việc thay đổi mô hình giữa cuộc trò chuyện sẽ làm giảm hiệu suất.","localConversation.modelChanged.warning.line2":"Ngữ cảnh có thể được tự động nén.","localConversation.moveThread.createBranch.label":"Tạo nhánh","localConversation.moveToLocal.disabled.loading":"Đang tải…","localConversation.moveToLocal.modal.continue":"Tiếp tục","localConversation.moveToLocal.modal.destinationLabel":"Di chuyển sang","localConversation.moveToLocal.modal.retry":"Thử lại","localConversation.moveToWorktree.modal.back":"Quay lại","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Nhánh đã tồn tại.","localConversation.moveToWorktree.modal.branchesError":"Không thể tải các nhánh","localConversation.moveToWorktree.modal.branchesLoading":"Đang tải các nhánh...","localConversation.moveToWorktree.modal.branchesRetry":"Thử lại","localConversation.moveToWorktree.modal.continue":"Tiếp tục","localConversation.moveToWorktree.modal.retry":"Thử lại","localConversation.moveToWorktree.modal.trailingSlashError":"Tên nhánh không được kết thúc bằng dấu “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nhánh-mới","localConversation.personalityChanged":"Đã chuyển sang tính cách {personality}","localConversation.planSummary.collapse":"Thu gọn phần tóm tắt gói","localConversation.planSummary.collapseTooltip":"Thu gọn","localConversation.planSummary.download":"Tải xuống kế hoạch","localConversation.planSummary.expand":"Mở rộng phần tóm tắt gói","localConversation.planSummary.expandTooltip":"Mở rộng","localConversation.planSummary.openInNewWindow":"Mở","localConversation.planSummary.openInNewWindow.tooltip":"Mở trong cửa sổ mới","localConversation.planSummary.title":"Kế hoạch","localConversation.planSummary.titleWriting":"Kế hoạch viết","localConversation.planSummary.viewPlan":"Mở rộng kế hoạch","localConversation.remoteTaskCreated":"Đã tạo {taskLink} trong Codex Cloud","localConversation.remoteTaskCreated.task":"nhiệm vụ","localConversation.scrollToBottomButton":"Cuộn xuống dưới cùng","localConversation.sync.buttonLabel":"Chuyển sang nhánh cục bộ","localConversation.sync.buttonLabel.tooltip":"Chuyển giao các thay đổi giữa worktree này và bản checkout cục bộ của bạn.","localConversation.sync.modal.loading.title":"Đang chuyển giao các thay đổi...","localConversation.sync.modal.noChanges":"Không có thay đổi nào","localConversation.syncSetup.branchAriaLabel":"Tên nhánh","localConversation.syncSetup.branchName":"Tên nhánh","localConversation.syncSetup.branchPlaceholder.existing":"Chọn nhánh hiện có","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Đang tải các nhánh...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Đã chuyển nhánh sang cục bộ","localConversation.syncSetup.checkoutClean":"Hiện tại trên {branchName}","localConversation.syncSetup.checkoutDirty":"Hiện đang làm việc trong {branchName} với các thay đổi chưa commit","localConversation.syncSetup.checkoutError":"Không thể chuyển sang làm việc trong nhánh: {message}","localConversation.syncSetup.checkoutLabel":"Chuyển nhánh sang cục bộ ngay","localConversation.syncSetup.checkoutOnLocal":"Chuyển sang nhánh cục bộ","localConversation.syncSetup.checkoutPending":"Đang kiểm tra trạng thái nhánh cục bộ...","localConversation.syncSetup.checkoutUnavailable":"Không gian làm việc cục bộ không khả dụng","localConversation.syncSetup.checkoutUnknown":"Nhánh cục bộ không khả dụng","localConversation.syncSetup.continue":"Tiếp tục","localConversation.syncSetup.createBranchError":"Không thể thiết lập nhánh chuyển giao: {message}","localConversation.syncSetup.error":"Đã xảy ra lỗi: {message}","localConversation.syncSetup.error.workingTreeMissing":"Không thể chụp ảnh worktree. Vui lòng thử chuyển lại.","localConversation.syncSetup.mode.ariaLabel":"Chọn chế độ nhánh","localConversation.syncSetup.mode.existing":"Nhánh hiện có","localConversation.syncSetup.mode.new":"Nhánh mới","localConversation.syncSetup.noBranches":"Không tìm thấy nhánh","localConversation.syncSetup.overwriteError":"Nhánh đã được tạo nhưng chưa được chuyển sang hoàn toàn. Hãy tự chuyển giao các thay đổi trước khi chuyển sang một nhánh cục bộ.","localConversation.syncSetup.setPrefix":"Đặt tiền tố","localConversation.syncSetup.subtitle":"Kiểm tra và chỉnh sửa các thay đổi với worktree trong nhánh cục bộ. <a>Tìm hiểu thêm</a>","localConversation.syncSetup.success.checkedOut":"Nhánh đã được tạo và chuyển sang cục bộ","localConversation.syncSetup.success.notCheckedOut":"Đã tạo nhánh","localConversation.syncSetup.title":"Chuyển sang một nhánh cục bộ","localConversation.syncWorktreeError.branchAriaLabel":"Tên nhánh","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Chọn một nhánh để chuyển giao, sau đó thử tải lại các thay đổi.","localConversation.syncWorktreeError.branchSetup.title":"Cập nhật nhánh","localConversation.syncWorktreeError.branchUpdate.cta":"Cập nhật và thử lại","localConversation.syncWorktreeError.branchUpdate.error":"Cập nhật nhánh không thành công: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Đã xảy ra lỗi: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Nhánh này hiện chưa được kích hoạt trong bất kỳ worktree nào.","localConversation.syncWorktreeV2.applyUncommitted":"Áp dụng","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Bạn phải chuyển sang nhánh đó trong cục bộ để áp dụng các thay đổi chưa commit","localConversation.syncWorktreeV2.branches.empty":"Không tìm thấy nhánh","localConversation.syncWorktreeV2.branches.loading":"Đang tải các nhánh...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Thay đổi nhánh chuyển giao","localConversation.syncWorktreeV2.changeBranch.error":"Thay đổi nhánh chuyển giao không thành công: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Áp dụng không thành công","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Ghi đè worktree không thành công","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Ghi đè cục bộ không thành công","localConversation.syncWorktreeV2.commandError.back":"Quay lại","localConversation.syncWorktreeV2.commandError.body":"Lệnh git đã thất bại trong quá trình chuyển giao. Vui lòng xem lại kết quả đầu ra và thử lại.","localConversation.syncWorktreeV2.commandError.retry":"Thử lại","localConversation.syncWorktreeV2.description":"Chuyển giao các thay đổi giữa nhánh cục bộ và worktree này. <a>Tìm hiểu thêm</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Chọn hướng chuyển giao","localConversation.syncWorktreeV2.error.generic":"Đã xảy ra lỗi trong quá trình chuyển giao. Vui lòng thử lại.","localConversation.syncWorktreeV2.localBranchLabel":"Cục bộ","localConversation.syncWorktreeV2.noChanges":"Đang tính toán các thay đổi","localConversation.syncWorktreeV2.noChanges.summary":"Không có thay đổi nào","localConversation.syncWorktreeV2.overwrite.local":"Ghi đè cục bộ","localConversation.syncWorktreeV2.overwrite.worktree":"Ghi đè worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Không thể áp dụng thay đổi","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Không thể ghi đè lên các thay đổi cục bộ","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Không thể ghi đè lên các thay đổi trong worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Đã áp dụng","localConversation.syncWorktreeV2.partial.back":"Quay lại","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Hãy giải quyết xung đột và thử lại.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Xung đột","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# tệp}}","localConversation.syncWorktreeV2.partial.retry":"Thử lại","localConversation.syncWorktreeV2.partial.skippedLabel":"Đã bỏ qua","localConversation.syncWorktreeV2.stateFailed.generic":"Đã xảy ra lỗi khi tìm nạp các thay đổi trong worktree để chuyển giao. Vui lòng thử lại.","localConversation.syncWorktreeV2.stateFailed.title":"Không thể tải các thay đổi trong worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Không thể tải các thay đổi trong worktree.","localConversation.syncWorktreeV2.statusError.retry":"Thử lại","localConversation.syncWorktreeV2.statusError.title":"Không thể tải các thay đổi trong nhánh cục bộ","localConversation.syncWorktreeV2.statusError.unknown":"Trạng thái nhánh hiện không khả dụng. Vui lòng thử lại.","localConversation.syncWorktreeV2.success.apply":"Đã áp dụng các thay đổi thành công","localConversation.syncWorktreeV2.success.overwrite":"Chuyển giao thành công","localConversation.syncWorktreeV2.title":"Chuyển giao các thay đổi","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Đang hỏi {count, plural, other {câu hỏi}}","localConversation.userInputRequest.noAnswer":"Chưa có câu trả lời nào được cung cấp","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Đã hỏi","localConversation.userInputRequest.summary.count":"{count, plural, other {# câu hỏi}}","localConversation.workedFor":"Đã hoạt động trong {time}","localConversation.worktreeBranchSetup.action.create":"Tạo","localConversation.worktreeBranchSetup.branchAriaLabel":"Tên nhánh","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Tạo một nhánh mới","localConversation.worktreeBranchSetup.checkoutDisabled":"Đã chuyển sang làm việc trong nhánh này lúc {location}","localConversation.worktreeBranchSetup.checkoutError":"Không thể chuyển sang làm việc trong nhánh: {message}","localConversation.worktreeBranchSetup.createBranchError":"Không thể thiết lập nhánh: {message}","localConversation.worktreeBranchSetup.error":"Đã xảy ra lỗi: {message}","localConversation.worktreeBranchSetup.subtitle":"Tạo một nhánh để commit các thay đổi, đẩy lên và tạo PR từ worktree này. <a>Tìm hiểu thêm</a>","localConversation.worktreeBranchSetup.title":"Làm việc ở đây","localConversationPage.addWorktreeToSidebar.tooltip":"Lưu lại dưới dạng dự án để bạn có thể bắt đầu các luồng mới từ worktree này","localConversationPage.addWorktreeToSidebarError":"Không thể thêm dự án","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit và tạo PR không thành công","localConversationPage.commitAndCreatePrModal.successTitle":"Đã commit và tạo PR","localConversationPage.commitAndPushModal.errorTitle":"Commit và đẩy không thành công","localConversationPage.commitAndPushModal.successTitle":"Đã commit và đẩy các thay đổi","localConversationPage.commitCreatePr.open":"Mở đề xuất thay đổi","localConversationPage.commitCreatePr.successTitle":"Đã tạo PR với những thay đổi mới nhất của bạn.","localConversationPage.createBranchButtonLabel":"Nhánh ở đây","localConversationPage.createPrModal.baseBranch":"Gốc","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Tạo PR","localConversationPage.createPrModal.createDescription":"Mở một đề xuất thay đổi cho những thay đổi mới nhất của bạn.","localConversationPage.createPrModal.errorTitle":"Đề xuất thay đổi không thành công","localConversationPage.createPrModal.headBranch":"Đầu","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Mở PR","localConversationPage.createPrModal.successTitle":"Đã tạo đề xuất thay đổi","localConversationPage.createPrModal.title":"Tạo đề xuất thay đổi","localConversationPage.createPrModal.viewDescription":"Đã có đề xuất thay đổi cho nhánh này.","localConversationPage.createPrModal.viewTitle":"Đề xuất thay đổi đã sẵn sàng","localConversationPage.createPullRequestAuthGh":"Xác thực GitHub CLI: chạy lệnh `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Thông tin về nhánh không có sẵn","localConversationPage.createPullRequestButtonLabel":"Tạo PR","localConversationPage.createPullRequestButtonLabel.loading":"Đang tạo PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Thông tin về nhánh mặc định không có sẵn","localConversationPage.createPullRequestError":"Không tạo được đề xuất thay đổi","localConversationPage.createPullRequestExistingPullRequest":"Đã có đề xuất thay đổi cho nhánh này","localConversationPage.createPullRequestGhStatusMissing":"Đang tải trạng thái GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Cài đặt GitHub CLI (gh) để tạo PR","localConversationPage.createPullRequestNoRepo":"Không tìm thấy kho lưu trữ git nào","localConversationPage.createPullRequestPushStatusMissing":"Đang tải trạng thái đẩy...","localConversationPage.createPullRequestSetUpstream":"Đẩy nhánh này trước khi tạo PR","localConversationPage.createPullRequestSuccessToast":"Đã tạo đề xuất thay đổi","localConversationPage.createPullRequestSwitchBranch":"Di chuyển một nhánh nổi bật trước khi tạo PR","localConversationPage.error.render":"Lỗi khi hiển thị cuộc trò chuyện cục bộ","localConversationPage.error.toast":"Không tìm thấy cuộc trò chuyện","localConversationPage.forcePushError":"Không thể buộc thực hiện đẩy","localConversationPage.generatePullRequestMessageError":"Không thể tạo tiêu đề và nội dung đề xuất thay đổi","localConversationPage.generatePullRequestMessageFailed":"Không thể tạo tiêu đề và nội dung đề xuất thay đổi.","localConversationPage.gitActionResult.branch":"Nhánh","localConversationPage.gitActionResult.cancel":"Hủy","localConversationPage.gitActionResult.close":"Đóng","localConversationPage.gitActionResult.tryAgain":"Thử lại","localConversationPage.gitActions":"Hành động với Git","localConversationPage.newChat":"Đoạn chat mới","localConversationPage.openInTarget":"Mở trong","localConversationPage.openPrimaryTarget":"Mở","localConversationPage.planItemsCompleted":"{completedItems}/{totalItems, plural, other {Đã hoàn tất # nhiệm vụ}}","localConversationPage.pushAuthError":"Thao tác đẩy không thành công: cần xác thực.","localConversationPage.pushBranchMissing":"Thông tin về nhánh không có sẵn","localConversationPage.pushButtonLabel":"Đẩy","localConversationPage.pushButtonLabel.loading":"Đang đẩy...","localConversationPage.pushError":"Không thể đẩy các thay đổi","localConversationPage.pushModal.branchLabel":"Nhánh","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Hủy","localConversationPage.pushModal.confirm":"Đẩy","localConversationPage.pushModal.description":"Đẩy các lệnh commit mới nhất của bạn lên kho lưu trữ từ xa.","localConversationPage.pushModal.errorTitle":"Đẩy không thành công","localConversationPage.pushModal.forcePush":"Buộc thực hiện đẩy","localConversationPage.pushModal.successTitle":"Đẩy hoàn tất","localConversationPage.pushModal.title":"Đẩy các thay đổi","localConversationPage.pushModal.tryAgain":"Thử lại","localConversationPage.pushNoUpstream":"Thiết lập thượng nguồn trước khi đẩy nhánh này","localConversationPage.pushNoUpstreamError":"Thao tác đẩy không thành công: không có kho lưu trữ thượng nguồn nào được cấu hình.","localConversationPage.pushNothingToPush":"Không có lệnh commit mới nào để đẩy","localConversationPage.pushRemoteChangedError":"Thao tác đẩy không thành công: kho lưu trữ từ xa có các commit mới.","localConversationPage.pushRemoteRejectedError":"Yêu cầu đẩy bị kho lưu trữ từ xa từ chối","localConversationPage.pushStatusMissing":"Đang tải trạng thái đẩy...","localConversationPage.pushSuccessToast":"Đã đẩy các thay đổi","localConversationPage.viewPullRequestButtonLabel":"Xem PR","localConversationPage.viewPullRequestButtonLabel.loading":"Đang tải đề xuất thay đổi…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# tệp}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# danh sách}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# lượt tìm kiếm}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Đang khám phá","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Đã khám phá","localConversationTurn.exploration.accordion.header.complete.withCounts":"Đã khám phá {counts}","localConversationTurnStory.showContent":"Hiển thị nội dung","localConversationTurnStory.streamContent":"Phát trực tuyến nội dung","localConversationTurnStory.toggleReasoning":"Hiển thị suy luận","localTaskRow.archiveError":"Không thể lưu trữ cuộc trò chuyện","localTaskRow.resumeError":"Không thể tiếp tục nhiệm vụ","mermaidDiagram.ariaLabel":"Sơ đồ Mermaid","mermaidDiagram.copySource":"Sao chép mermaid","mermaidDiagram.originalCode":"Mã nguồn Mermaid","notifications.permissions.description":"Hiển thị cảnh báo khi cần quyền thông báo","notifications.permissions.label":"Bật thông báo về quyền","notifications.turnMode.always":"Luôn luôn","notifications.turnMode.description":"Đặt thời điểm Codex sẽ thông báo cho bạn khi quá trình hoàn tất","notifications.turnMode.label":"Bật thông báo khi hoàn thành","notifications.turnMode.off":"Không bao giờ","notifications.turnMode.unfocused":"Chỉ khi không tập trung","patchApprovalRequest.approve":"Phê duyệt","patchApprovalRequest.menu.allowAlways":"Có và không hỏi lại phiên này","patchApprovalRequest.menu.allowForSession":"Có và không hỏi lại phiên này","patchApprovalRequest.menu.allowOnce":"Có","patchApprovalRequest.prompt":"Bạn có muốn thực hiện các thay đổi này?","patchApprovalRequest.reject":"Không","patchApprovalRequest.waitingForApproval":"Đang chờ phê duyệt để chỉnh sửa tệp","pendingRequest.approvalExec.collapse":"Thu gọn","pendingRequest.approvalExec.expand":"Mở rộng","pendingRequestStory.toastAnswer":"Câu trả lời: {answer}","pendingRequestStory.toastApprovalTitle":"Phản hồi phê duyệt","pendingRequestStory.toastFollowupPrompt":"Câu lệnh: {prompt}","pendingRequestStory.toastFollowupTitle":"Đã gửi lời nhắc tiếp theo","pendingRequestStory.toastNoAnswers":"Không có câu trả lời nào","pendingRequestStory.toastQuestion":"Câu hỏi: {question}","pendingRequestStory.toastUnknownDecision":"Không xác định","pendingRequestStory.toastUserInputTitle":"Câu trả lời đã gửi","quickAction.request.codeReview.branches.new":"Vui lòng đối chiếu các thay đổi trên {from} với {to}","quickAction.request.codeReview.uncommitted.new":"Vui lòng xem lại những thay đổi chưa commit của tôi","reasoningItem.thinking":"Đang suy nghĩ","reasoningItem.thought":"Đã suy nghĩ","reasoningItem.thoughtWithElapsed":"Đã suy nghĩ trong {elapsed}","recentConversations.title":"Cuộc trò chuyện gần đây","recentTasks.worktreeInitFailedTitle":"Khởi tạo worktree không thành công","recentTasks.worktreeSettingUpTitle":"Đang thiết lập worktree","requestInputPanel.continue":"Tiếp tục","requestInputPanel.dismiss":"Bỏ qua","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Gõ vào đây","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Không, và hãy cho Codex biết phải làm gì khác đi","requestInputPanel.selectedBadge":"Đã chọn","requestInputPanel.skip":"Bỏ qua","requestInputPanel.submit":"Gửi","review.commit.ariaLabel.includeUnstaged":"Bao gồm các thay đổi chưa được thử nghiệm","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Đang commit...","review.commit.disabled.loadingDiff":"Đang tải tệp diff…","review.commit.disabled.missingContext":"Thêm một số ngữ cảnh để tạo thông báo commit.","review.commit.disabled.noChanges":"Không có thay đổi nào để commit","review.commit.disabled.noSelection":"Chọn thay đổi để commit","review.commit.disabled.unavailable":"Hiện không thể commit","review.commit.error":"Không thể commit thay đổi","review.commit.form.changesToBeCommitted":"Thay đổi","review.commit.form.commitTo":"Nhánh","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Tiếp tục","review.commit.form.title":"Commit các thay đổi của bạn","review.commit.generate.emptyResponse":"Không thể tạo thông báo commit.","review.commit.generate.failed":"Không thể tạo thông báo commit: {error}","review.commit.generate.missingPrompt":"Thêm một số ngữ cảnh để tạo tin nhắn commit.","review.commit.includeUnstaged":"Bao gồm các thay đổi chưa được thử nghiệm","review.commit.loading.description":"Hãy kiên nhẫn, quy trình này có thể mất vài phút...","review.commit.loading.step.commit.done":"Thay đổi đã commit","review.commit.loading.step.commit.pending":"Đang commit các thay đổi","review.commit.loading.step.createPr.done":"Đã tạo đề xuất thay đổi","review.commit.loading.step.createPr.pending":"Đang tạo đề xuất thay đổi","review.commit.loading.step.push.done":"Đã đẩy sang nhánh {branch}","review.commit.loading.step.push.pending":"Đang đẩy sang nhánh {branch}","review.commit.loading.title.commit":"Đang commit các thay đổi","review.commit.loading.title.createPr":"Đang tạo PR","review.commit.loading.title.push":"Đang đẩy thay đổi","review.commit.messageLabel":"Commit tin nhắn","review.commit.messagePlaceholder":"Để trống để tự động tạo thông báo commit","review.commit.nextSteps":"Các bước tiếp theo","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit và tạo PR","review.commit.nextSteps.commitAndPush":"Commit và đẩy","review.commit.nextSteps.prRequiresGh":"Yêu cầu sử dụng GitHub CLI: {command}","review.commit.rows.changes":"Thay đổi","review.commit.rows.commitCount":"{count, plural, other {# lần commit}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# lần commit}} và {stats}","review.commit.rows.fileCount":"{count, plural, other {# tệp}}","review.commit.state.error.body":"Đã xảy ra lỗi trong quá trình commit. Vui lòng kiểm tra trạng thái git của bạn và thử lại.","review.commit.state.error.title":"Commit không thành công","review.commit.state.success.title":"Đã commit các thay đổi","review.commit.untracked.loadingStats":"Đang tải số liệu thống kê so sánh chưa được theo dõi…","reviewFindingAttachments.count":"{count, plural, other {# phát hiện}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Chỉnh sửa cấu hình của bạn để tùy chỉnh hành vi của tác nhân","settings.agent.configuration.configToml.docs":"Tài liệu","settings.agent.configuration.configToml.restartNote":"Khởi động lại Codex sau khi chỉnh sửa để áp dụng thay đổi","settings.agent.configuration.subtitle":"Các cài đặt này áp dụng cho bất cứ nơi nào Codex được sử dụng","settings.automations.banner.danger":"Các quy trình tự động hóa chạy với cài đặt môi trường thử nghiệm mặc định của bạn, hiện đang được đặt là Quyền truy cập đầy đủ. Việc chạy các quy trình tự động hóa ở nền với Quyền truy cập đầy đủ tiềm ẩn rủi ro cao, vì Codex có thể sửa đổi tệp, chạy lệnh và truy cập mạng mà không cần xin phép. Hãy cân nhắc cập nhật cài đặt môi trường thử nghiệm thành quyền ghi vào không gian làm việc và sử dụng <rulesDocsLink>quy tắc</rulesDocsLink> để chọn các lệnh mà tác nhân có thể chạy với quyền truy cập đầy đủ.","settings.automations.banner.defaultHowTo.default":"Các quy trình tự động hóa chạy với cài đặt môi trường thử nghiệm mặc định của bạn. Các lệnh gọi công cụ sẽ không thành công nếu chúng yêu cầu sửa đổi tệp bên ngoài không gian làm việc, truy cập mạng hoặc làm việc với các ứng dụng trên máy tính của bạn. Bạn có thể chọn lọc các lệnh được phép chạy bên ngoài môi trường thử nghiệm bằng cách sử dụng <rulesDocsLink>quy tắc</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Các quy trình tự động hóa chạy với cài đặt môi trường thử nghiệm mặc định của bạn, hiện được đặt ở chế độ chỉ đọc. Các lệnh gọi công cụ sẽ không thành công nếu chúng yêu cầu sửa đổi tệp, truy cập mạng hoặc làm việc với các ứng dụng trên máy tính của bạn. Hãy cân nhắc cập nhật cài đặt môi trường thử nghiệm thành chế độ ghi vào không gian làm việc.","settings.automations.cancel":"Hủy","settings.automations.create":"Tạo","settings.automations.cwdEmpty":"Không có thư mục dự án nào khả dụng","settings.automations.cwdLabel":"Dự án","settings.automations.cwdPlaceholder":"Chọn một thư mục","settings.automations.cwdSubtitle":"Nếu muốn chạy một tác vụ tự động trên một nhánh cụ thể, bạn có thể chỉ định nhánh đó trong câu lệnh.","settings.automations.delete":"Xóa","settings.automations.dialog.editTitle":"Chỉnh sửa tùy chọn tự động hóa","settings.automations.dialog.newTitle":"Tùy chọn tự động hóa mới","settings.automations.dialog.subtitle":"Tự động hóa các nhiệm vụ định kỳ trong nền. Codex sẽ thêm kết quả vào hộp thư đến hoặc tự động lưu trữ nhiệm vụ nếu không có thông tin nào để báo cáo. <learnMoreLink>Tìm hiểu thêm</learnMoreLink>","settings.automations.dialog.title":"Tạo tùy chọn tự động hóa","settings.automations.executionCopy.git":"Các quy trình tự động hóa chạy ở nền trên các worktree chuyên dụng.","settings.automations.executionCopy.nonGit":"Các quy trình tự động hóa trong các dự án không sử dụng hệ thống kiểm soát phiên bản sẽ chạy trực tiếp trong thư mục dự án. Hãy cân nhắc sử dụng Git để cho phép chạy trong các worktree ở nền.","settings.automations.executionEnvironment.local":"Cục bộ","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Đang tải…","settings.automations.nameLabel":"Tên","settings.automations.namePlaceholder":"Kiểm tra vấn đề sentry","settings.automations.pause":"Tạm dừng","settings.automations.promptLabel":"Câu lệnh","settings.automations.promptPlaceholder":"tìm sự cố trong $Sentry","settings.automations.resume":"Tiếp tục","settings.automations.rruleSummaryFallback":"Lịch tùy chỉnh","settings.automations.runNow":"Kiểm thử","settings.automations.save":"Lưu","settings.automations.scheduleBadge.dayCount":"{count} ngày","settings.automations.scheduleBadge.interval":"{count} giờ","settings.automations.scheduleBadge.weekdays":"Ngày trong tuần","settings.automations.scheduleBadge.weekends":"Cuối tuần","settings.automations.scheduleHeader":"Lịch","settings.automations.scheduleHours":"giờ","settings.automations.scheduleLabel":"Chạy sau mỗi","settings.automations.scheduleMode.daily":"Hằng ngày","settings.automations.scheduleMode.interval":"Khoảng","settings.automations.scheduleModeLabel":"Loại lịch trình","settings.automations.scheduleSummary.daily":"Hằng ngày lúc {time}","settings.automations.scheduleSummary.interval":"Mỗi {count} giờ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# ngày}}","settings.automations.scheduleSummary.intervalDays":"{interval} vào {days}","settings.automations.scheduleSummary.intervalHourly":"Hàng giờ","settings.automations.scheduleSummary.singleDay":"{day} lúc {time}","settings.automations.scheduleSummary.weekdays":"Ngày trong tuần lúc {time}","settings.automations.scheduleSummary.weekdaysLabel":"ngày trong tuần","settings.automations.scheduleSummary.weekends":"Ngày trong tuần lúc {time}","settings.automations.scheduleSummary.weekendsLabel":"cuối tuần","settings.automations.scheduleSummary.weekly":"{days} lúc {time}","settings.automations.scheduleWeekdays":"Bật","settings.automations.weekdayState.excluded":"Bị loại trừ","settings.automations.weekdayState.included":"Được bao gồm","settings.conversationDetail.steps":"Bước","settings.conversationDetail.steps.description":"Ẩn các lệnh và kết quả đầu ra","settings.conversationDetail.stepsWithCommands":"Các bước thực hiện kèm theo lệnh về mã","settings.conversationDetail.stepsWithCommands.description":"Hiển thị lệnh, thu gọn kết quả đầu ra","settings.conversationDetail.stepsWithOutput":"Các bước thực hiện kèm theo kết quả về mã.","settings.conversationDetail.stepsWithOutput.description":"Hiển thị các lệnh và mở rộng kết quả đầu ra","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Không có đoạn chat được lưu trữ.","settings.dataControls.archivedChats.error":"Không thể tải các đoạn chat được lưu trữ.","settings.dataControls.archivedChats.loading":"Đang tải các đoạn chat được lưu trữ…","settings.dataControls.archivedChats.unarchive":"Bỏ lưu trữ","settings.dataControls.archivedChats.unarchiveError":"Không thể hủy lưu trữ đoạn chat","settings.dataControls.archivedChats.unarchiveSuccess":"Bài viết đã được hủy lưu trữ. <viewNowLink>Xem ngay</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Đã hủy lưu trữ luồng.","settings.dataControls.archivedChats.untitled":"Đoạn chat không có tiêu đề","settings.dataControls.archivedChats.viewNow":"Xem ngay bây giờ","settings.editRow.headerPlaceholder":"Mã khóa","settings.editRow.removeEntry":"Xóa mục nhập","settings.editRow.valuePlaceholder":"Giá trị","settings.general.appearance":"Giao diện","settings.general.appearance.codeFont":"Phông chữ mã","settings.general.appearance.codeFont.description":"Điều chỉnh phông chữ và kích thước được sử dụng cho mã trong các đoạn chat và bản so sánh","settings.general.appearance.codeFontFamily":"Bộ phông chữ của mã","settings.general.appearance.codeFontSize":"Kích thước phông chữ của mã","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Dùng màu trơn cho cửa sổ sử dụng nền thay vì theo độ trong suốt của hệ thống","settings.general.appearance.opaqueWindows.label":"Sử dụng nền cửa sổ không trong suốt","settings.general.appearance.sansFontFamily":"Bộ phông chữ Sans","settings.general.appearance.sansFontFamily.description":"Điều chỉnh phông chữ được sử dụng cho giao diện người dùng Codex.","settings.general.appearance.sansFontSize":"Kích thước phông chữ Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Hiển thị hiệu ứng ăn mừng toàn màn hình trong khi GPT-5.3-Codex-Spark chạy lượt đầu tiên","settings.general.appearance.sparkCelebrationEffects.label":"Tạo hiệu ứng lễ hội","settings.general.appearance.theme":"Giao diện","settings.general.appearance.theme.dark":"Tối","settings.general.appearance.theme.description":"Sử dụng chế độ sáng, tối hoặc phù hợp với hệ thống của bạn","settings.general.appearance.theme.light":"Sáng","settings.general.appearance.theme.system":"Hệ thống","settings.general.appearance.usePointerCursors.description":"Khi di chuột qua các phần tử tương tác, con trỏ chuột sẽ chuyển thành biểu tượng mũi tên","settings.general.appearance.usePointerCursors.label":"Sử dụng con trỏ chuột","settings.general.enterBehavior.description":"Khi bật, câu lệnh nhiều dòng yêu cầu nhấn {modifierSymbol} + enter để gửi.","settings.general.enterBehavior.label":"Yêu cầu nhấn {modifierSymbol} + enter để gửi câu lệnh dài","settings.general.experimentalFeatures":"Tính năng thử nghiệm (Beta)","settings.general.experimentalFeatures.empty":"Không có tính năng thử nghiệm beta nào khả dụng.","settings.general.experimentalFeatures.loading":"Đang tải các tính năng thử nghiệm…","settings.general.experimentalFeatures.restartNote":"Khởi động lại Codex để áp dụng các thay đổi tính năng thử nghiệm","settings.general.experimentalFeatures.toggle":"Bật/tắt {featureName}","settings.general.followUpQueueMode.description":"Xếp các nhiệm vụ tiếp theo vào hàng đợi trong khi Codex đang chạy hoặc điều khiển quy trình chạy hiện tại. Nhấn {invertFollowUpShortcutLabel} để làm ngược lại với một tin nhắn.","settings.general.followUpQueueMode.interrupt":"Điều khiển","settings.general.followUpQueueMode.label":"Hành vi tiếp theo","settings.general.followUpQueueMode.queue":"Hàng đợi","settings.general.notifications":"Thông báo","settings.general.power.preventSleepWhileRunning.description":"Hãy giữ cho máy tính của bạn luôn hoạt động trong khi Codex đang chạy một luồng.","settings.general.power.preventSleepWhileRunning.label":"Ngăn vào chế độ ngủ khi đang chạy","settings.git.branchPrefix.ariaLabel":"Tiền tố nhánh","settings.git.branchPrefix.description":"Tiền tố được sử dụng khi tạo nhánh mới trong Codex","settings.git.branchPrefix.label":"Tiền tố nhánh","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Không thể lưu tiền tố nhánh","settings.git.branchPrefix.save.success":"Đã lưu tiền tố nhánh","settings.git.commitInstructions.ariaLabel":"Hướng dẫn commit","settings.git.commitInstructions.description":"Đã thêm vào câu lệnh tạo thông báo commit","settings.git.commitInstructions.label":"Hướng dẫn commit","settings.git.commitInstructions.placeholder":"Thêm hướng dẫn về thông báo commit…","settings.git.commitInstructions.save":"Lưu","settings.git.commitInstructions.save.error":"Không thể lưu hướng dẫn commit","settings.git.commitInstructions.save.success":"Đã lưu hướng dẫn commit","settings.git.forcePush.ariaLabel":"Luôn buộc thực hiện đẩy","settings.git.forcePush.description":"Sử dụng --force-with-lease khi đẩy từ Codex","settings.git.forcePush.label":"Luôn buộc thực hiện đẩy","settings.git.forcePush.save.disabled":"Luôn buộc thực hiện đẩy đã tắt","settings.git.forcePush.save.enabled":"Luôn buộc thực hiện đẩy đã bật","settings.git.forcePush.save.error":"Không thể lưu cài đặt buộc thực hiện đẩy","settings.git.prInstructions.ariaLabel":"Hướng dẫn về đề xuất thay đổi","settings.git.prInstructions.description":"Được thêm vào phần nội dung đề xuất thay đổi được tạo bởi Codex","settings.git.prInstructions.label":"Hướng dẫn về đề xuất thay đổi","settings.git.prInstructions.placeholder":"Thêm hướng dẫn về đề xuất thay đổi…","settings.git.prInstructions.save":"Lưu","settings.git.prInstructions.save.error":"Không thể lưu hướng dẫn về đề xuất thay đổi","settings.git.prInstructions.save.success":"Đã lưu hướng dẫn về đề xuất thay đổi","settings.ide.defaultOpenTarget.description":"Nơi các tệp và thư mục mở theo mặc định","settings.ide.defaultOpenTarget.label":"Đích để mở mặc định","settings.ide.defaultOpenTarget.placeholder":"Không tìm thấy mục tiêu","settings.ide.language.auto":"Dò tìm tự động","settings.ide.language.autoOption":"Dò tìm tự động","settings.ide.language.description":"Ngôn ngữ cho giao diện người dùng ứng dụng","settings.ide.language.label":"Ngôn ngữ","settings.ide.language.search":"Tìm kiếm ngôn ngữ","settings.layout.actionButton":"Khởi động lại mở rộng","settings.layout.actionTitle":"Cài đặt với hành động","settings.layout.fullWidthTitle":"Cài đặt (Toàn bộ chiều rộng)","settings.layout.title":"Cài đặt","settings.localEnvironments.actions.add":"Thêm hành động","settings.localEnvironments.actions.add.description":"Tạo một lệnh mới để chạy từ thanh công cụ.","settings.localEnvironments.actions.add.save":"Lưu","settings.localEnvironments.actions.empty":"Thêm hành động để chạy các lệnh từ thanh công cụ.","settings.localEnvironments.actions.icon.debug":"Gỡ lỗi","settings.localEnvironments.actions.icon.run":"Chạy","settings.localEnvironments.actions.icon.test":"Kiểm thử","settings.localEnvironments.actions.icon.tool":"Công cụ","settings.localEnvironments.actions.item.button.delete":"Xóa","settings.localEnvironments.actions.item.command":"Tập lệnh hành động","settings.localEnvironments.actions.item.name":"Tên","settings.localEnvironments.actions.item.platforms":"Nền tảng","settings.localEnvironments.actions.item.platforms.help":"Chỉ chạy trên một hệ điều hành cụ thể.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Lựa chọn nền tảng","settings.localEnvironments.actions.item.platforms.specific":"Tùy theo nền tảng","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Xóa","settings.localEnvironments.actions.title":"Hành động","settings.localEnvironments.breadcrumb.back":"Quay lại","settings.localEnvironments.breadcrumb.edit":"chỉnh sửa","settings.localEnvironments.breadcrumb.root":"Môi trường","settings.localEnvironments.environment.actions.description":"Các hành động này có thể chạy bất kỳ lệnh nào và sẽ được hiển thị trong tiêu đề.","settings.localEnvironments.environment.actionsLabel":"Hành động","settings.localEnvironments.environment.create":"Tạo môi trường cục bộ","settings.localEnvironments.environment.defaultName":"cục bộ","settings.localEnvironments.environment.edit":"Chỉnh sửa môi trường cục bộ","settings.localEnvironments.environment.empty":"Chưa có môi trường cục bộ nào được định cấu hình cho dự án này.","settings.localEnvironments.environment.name":"Tên","settings.localEnvironments.environment.setup":"Tập lệnh thiết lập","settings.localEnvironments.environment.setup.description":"Tập lệnh này sẽ chạy khi tạo worktree.","settings.localEnvironments.environment.setup.hint":"Chạy trong thư mục gốc của dự án.","settings.localEnvironments.environment.setup.platformOverrides":"Ghi đè nền tảng","settings.localEnvironments.environment.setup.platformOverrides.add":"Thêm tập lệnh thiết lập {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Ghi đè tập lệnh mặc định cho các hệ điều hành cụ thể.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Xóa","settings.localEnvironments.environment.setup.script":"Tập lệnh","settings.localEnvironments.environment.title":"Chi tiết môi trường","settings.localEnvironments.file.missing":"Lưu để tạo tệp này lần đầu.","settings.localEnvironments.file.parseError":"Không thể phân tích cú pháp tệp hiện có. Thao tác lưu sẽ ghi đè tệp. ({error})","settings.localEnvironments.file.path":"Tệp: {path}","settings.localEnvironments.file.readError":"Không thể tải dữ liệu môi trường cục bộ. ({error})","settings.localEnvironments.file.title":"Tệp môi trường cục bộ","settings.localEnvironments.loading.body":"Đang tìm nạp cấu hình dự án của bạn.","settings.localEnvironments.loading.title":"Đang tải môi trường cục bộ","settings.localEnvironments.preview.devOnly":"(Chỉ môi trường NHÀ PHÁT TRIỂN)","settings.localEnvironments.preview.save":"Lưu","settings.localEnvironments.preview.saveError":"Không thể lưu tệp. ({error})","settings.localEnvironments.preview.title":"Xem trước","settings.localEnvironments.save.disabled.name":"Thêm tên môi trường để lưu.","settings.localEnvironments.save.disabled.noChanges":"Không có thay đổi nào để lưu.","settings.localEnvironments.save.disabled.saving":"Đang lưu...","settings.localEnvironments.save.success":"Đã lưu môi trường cục bộ","settings.localEnvironments.unavailable.body":"Chúng tôi không thể tải cài đặt môi trường cục bộ cho dự án này.","settings.localEnvironments.unavailable.title":"Môi trường cục bộ không khả dụng.","settings.localEnvironments.workspace.add":"Thêm dự án","settings.localEnvironments.workspace.title":"Dự án","settings.localEnvironments.workspaceSelect.addLabel":"Thêm môi trường","settings.localEnvironments.workspaceSelect.description":"Môi trường cục bộ cho Codex biết cách thiết lập worktree cho một dự án. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Chưa có dự án nào. Hãy thêm một dự án để cấu hình môi trường cục bộ.","settings.localEnvironments.workspaceSelect.errorLabel":"Môi trường cần chú ý","settings.localEnvironments.workspaceSelect.learnMore":"Tìm hiểu thêm","settings.localEnvironments.workspaceSelect.listLabel":"Các dự án khả dụng","settings.localEnvironments.workspaceSelect.loading":"Đang tải dự án.","settings.localEnvironments.workspaceSelect.loadingLabel":"Đang tải môi trường","settings.localEnvironments.workspaceSelect.title":"Chọn dự án","settings.localEnvironments.workspaceSelect.viewAction":"Xem","settings.mcp.addServer":"Thêm máy chủ","settings.mcp.app.configure":"Định cấu hình","settings.mcp.app.connect":"Kết nối","settings.mcp.apps.refresh":"Làm mới","settings.mcp.detail.addArgument":"Thêm đối số","settings.mcp.detail.addEnvVar":"Thêm biến môi trường","settings.mcp.detail.addEnvVarPassthrough":"Thêm biến","settings.mcp.detail.args":"Đối số","settings.mcp.detail.back":"Quay lại","settings.mcp.detail.command":"Lệnh cần khởi chạy","settings.mcp.detail.cwd":"Thư mục làm việc","settings.mcp.detail.docs":"Mở tài liệu MCP","settings.mcp.detail.docs.link":"Tài liệu","settings.mcp.detail.envVarPassthrough":"Truyền qua biến môi trường","settings.mcp.detail.envVars":"Các biến môi trường","settings.mcp.detail.http.addEnvHeader":"Thêm biến","settings.mcp.detail.http.addHeader":"Thêm tiêu đề","settings.mcp.detail.http.bearerToken":"Biến môi trường token xác thực","settings.mcp.detail.http.envHeaders":"Tiêu đề từ các biến môi trường","settings.mcp.detail.http.headers":"Tiêu đề","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Tên","settings.mcp.detail.save":"Lưu","settings.mcp.detail.switchTransportNotice":"Nếu bạn muốn chuyển đổi loại máy chủ MCP, vui lòng gỡ cài đặt trước.","settings.mcp.detail.titleExisting":"Cập nhật {name} MCP","settings.mcp.detail.titleNew":"Kết nối với MCP tùy chỉnh","settings.mcp.detail.transport.http":"HTTP có thể truyền phát","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Gỡ cài đặt","settings.mcp.empty":"Không có máy chủ MCP tùy chỉnh nào được kết nối","settings.mcp.myServers":"Máy chủ tùy chỉnh","settings.mcp.partnerServer.description.figma":"Tạo ra mã tốt hơn bằng cách tận dụng toàn bộ ngữ cảnh Figma.","settings.mcp.partnerServer.description.github":"Tích hợp với các API GitHub để tự động hóa quy trình làm việc và trích xuất dữ liệu.","settings.mcp.partnerServer.description.linear":"Tích hợp với hệ thống theo dõi sự cố và quản lý dự án của Linear.","settings.mcp.partnerServer.description.notion":"Đọc tài liệu, cập nhật trang, quản lý nhiệm vụ","settings.mcp.partnerServer.description.playwright":"Tích hợp tính năng tự động hóa trình duyệt để triển khai thiết kế và kiểm thử giao diện người dùng.","settings.mcp.partnerServer.install":"Cài đặt","settings.mcp.partnerServer.installAndAuthenticate":"Cài đặt và xác thực","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Quản lý","settings.mcp.partnerServer.vendor":"bởi {vendor}","settings.mcp.recommendedServers":"Các máy chủ được đề xuất","settings.mcp.restartApp":"Khởi động lại","settings.mcp.restartExtension":"Khởi động lại mở rộng","settings.mcp.server.enable":"Cho phép","settings.mcp.server.login":"Xác thực","settings.mcp.server.settings":"Cài đặt","settings.multiselect.createOption":"Tạo “{value}”","settings.multiselect.removeOption":"Xóa","settings.nav.account":"Tài khoản","settings.nav.agent":"Cấu hình","settings.nav.ariaLabel":"Cài đặt","settings.nav.back":"Quay lại ứng dụng","settings.nav.data-controls":"Các luồng đã được lưu trữ","settings.nav.environments":"Môi trường đám mây","settings.nav.externalTooltip":"[alpha] Mở trong trình duyệt","settings.nav.general-settings":"Chung","settings.nav.git-settings":"Git","settings.nav.local-environments":"Môi trường","settings.nav.mcp-settings":"Máy chủ MCP","settings.nav.notImplemented":"[alpha] Không có sẵn trong Alpha","settings.nav.personalization":"Cá nhân hóa","settings.nav.skills-settings":"Kỹ năng","settings.nav.usage-analytics":"Sử dụng & Phân tích","settings.nav.worktrees":"Worktree","settings.openSourceLicenses.back":"Quay lại","settings.openSourceLicenses.loading":"Đang tải…","settings.openSourceLicenses.missing":"Không tìm thấy thông báo từ bên thứ ba.","settings.openSourceLicenses.notSupported":"Không khả dụng trên máy chủ này.","settings.openSourceLicenses.rowDescription":"Thông báo bên thứ ba cho các yếu tố phụ thuộc được đóng gói kèm","settings.openSourceLicenses.rowLabel":"Giấy phép nguồn mở","settings.openSourceLicenses.subtitle":"Thông báo bên thứ ba cho các yếu tố phụ thuộc được tích hợp trong ứng dụng này","settings.openSourceLicenses.title":"Giấy phép nguồn mở","settings.openSourceLicenses.view":"Xem","settings.personalization.agents.description":"Chỉnh sửa hướng dẫn tùy chỉnh Codex cho phù hợp với bạn. {learnMore}","settings.personalization.agents.learnMore":"Tìm hiểu thêm","settings.personalization.agents.loadError":"Không thể tải agents.md.","settings.personalization.agents.loading":"Đang tải agents.md…","settings.personalization.agents.placeholder":"Thêm hướng dẫn tùy chỉnh của bạn…","settings.personalization.agents.retry":"Thử lại","settings.personalization.agents.save":"Lưu","settings.personalization.agents.save.error":"Không thể lưu agents.md","settings.personalization.agents.save.success":"Đã lưu agents.md","settings.personalization.agents.title":"Hướng dẫn tùy chỉnh","settings.personalization.personality.description":"Chọn một giọng điệu mặc định cho các phản hồi của Codex","settings.personalization.personality.label":"Tính cách","settings.sample.contentBody":"Sử dụng bố cục này để sắp xếp các bảng cài đặt của bạn với khoảng cách nhất quán.","settings.sample.contentTitle":"Khối nội dung mẫu","settings.section.account":"Tài khoản","settings.section.agent":"Cấu hình","settings.section.data-controls":"Các luồng đã được lưu trữ","settings.section.environments":"Môi trường đám mây","settings.section.external":"Mở trong trình duyệt của bạn trong phiên bản Alpha","settings.section.general-settings":"Chung","settings.section.git-settings":"Git","settings.section.local-environments":"Môi trường","settings.section.mcp-settings":"Máy chủ MCP","settings.section.mcp-settings.docs":"Tài liệu","settings.section.mcp-settings.subtitle":"Kết nối các công cụ và nguồn dữ liệu bên ngoài.","settings.section.personalization":"Cá nhân hóa","settings.section.skills-settings":"Kỹ năng","settings.section.unavailable":"Hiện chưa có trong phiên bản Alpha","settings.section.usage-analytics":"Sử dụng & Phân tích","settings.section.worktrees":"Worktree","settings.threadDetail.description":"Chọn mức độ hiển thị kết quả đầu ra của lệnh trong các luồng","settings.threadDetail.label":"Chi tiết luồng","settings.worktrees.conversation.untitled":"Cuộc trò chuyện không tiêu đề","settings.worktrees.delete.error":"Không thể xóa worktree","settings.worktrees.empty.body":"Các worktree được tạo bởi Codex sẽ xuất hiện ở đây.","settings.worktrees.empty.title":"Chưa có worktree nào","settings.worktrees.error.body":"Đã xảy ra lỗi trong quá trình tải worktree.","settings.worktrees.error.retry":"Thử lại","settings.worktrees.error.title":"Không thể tải worktree","settings.worktrees.loading.body":"Đang tải thông tin chi tiết về worktree.","settings.worktrees.loading.title":"Đang tải worktree","settings.worktrees.repository.loading":"Đang tải siêu dữ liệu kho lưu trữ…","settings.worktrees.repository.unknown":"Kho lưu trữ không xác định","settings.worktrees.row.conversations":"Cuộc trò chuyện","settings.worktrees.row.conversations.empty":"Không có cuộc trò chuyện nào liên kết với worktree này.","settings.worktrees.row.conversations.loading":"Đang tải cuộc trò chuyện...","settings.worktrees.row.delete":"Xóa","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Thêm dự án mới","sidebarElectron.archiveThread":"Lưu trữ chủ đề","sidebarElectron.archiveThreadError":"Không lưu trữ được chủ đề","sidebarElectron.collapseFolder":"Thu gọn thư mục","sidebarElectron.createStableWorktree.dialog.cancel":"Hủy","sidebarElectron.createStableWorktree.dialog.create":"Tạo","sidebarElectron.debugNavLink":"Gỡ lỗi","sidebarElectron.editWorkspaceRootOptionName":"Chỉnh sửa tên","sidebarElectron.expandFolder":"Mở rộng thư mục","sidebarElectron.groupByMenu.recency":"Danh sách theo thứ tự thời gian","sidebarElectron.groupByMenu.title":"Sắp xếp","sidebarElectron.groupByMenu.workspace":"Theo dự án","sidebarElectron.inboxRouteNavLink":"Tự động hóa","sidebarElectron.markThreadUnread":"Đánh dấu là chưa đọc","sidebarElectron.missingWorkspaceRoot":"Thư mục dự án này đã bị xóa hoặc di chuyển","sidebarElectron.newThread":"Chủ đề mới","sidebarElectron.newThreadInGroup":"Bắt đầu chủ đề mới trong {folder}","sidebarElectron.noRecentThreads":"Không có luồng nào gần đây","sidebarElectron.noTasks":"Không có luồng nào","sidebarElectron.noTasks.start":"Thêm một dự án mới","sidebarElectron.noTasksWithFilter":"Không có luồng nào khớp với bộ lọc","sidebarElectron.pinnedThreads":"Các luồng được ghim","sidebarElectron.recentNavLink":"Luồng","sidebarElectron.recentThreads":"Các luồng gần đây","sidebarElectron.removeWorkspaceRootOption":"Xóa","sidebarElectron.renameThread":"Đổi tên luồng","sidebarElectron.renameThreadDialogAriaLabel":"Tiêu đề luồng","sidebarElectron.renameThreadDialogCancel":"Hủy","sidebarElectron.renameThreadDialogPlaceholder":"Thêm tiêu đề…","sidebarElectron.renameThreadDialogSave":"Lưu","sidebarElectron.renameThreadDialogSubtitle":"Đặt tiêu đề ngắn gọn và dễ nhận biết.","sidebarElectron.renameThreadDialogTitle":"Đổi tên luồng","sidebarElectron.renameThreadError":"Đổi tên luồng không thành công","sidebarElectron.renameWorkspaceRootOptionLabel":"Tên hiển thị","sidebarElectron.showLess":"Ẩn bớt","sidebarElectron.showMenu.all":"Tất cả luồng","sidebarElectron.showMenu.relevant":"Có liên quan","sidebarElectron.showMenu.relevantHint":"Chỉ hiển thị các chuỗi gần đây cho nhánh hiện tại, cây công việc hoặc các luồng khác cần bạn chú ý","sidebarElectron.showMenu.title":"Hiển thị","sidebarElectron.showMenu.tooltip":"Lọc, sắp xếp và tổ chức các cuộc trò chuyện","sidebarElectron.showMenu.trigger":"Lọc các luồng thanh bên","sidebarElectron.showMore":"Hiển thị thêm","sidebarElectron.skillsRouteNavLink":"Kỹ năng","sidebarElectron.sortMenu.created":"Đã tạo","sidebarElectron.sortMenu.title":"Sắp xếp theo","sidebarElectron.sortMenu.updated":"Đã cập nhật","sidebarElectron.taskNavigation":"Thư mục tự động hóa","sidebarElectron.tasksInFolder":"Tự động hóa sau {folder}","sidebarElectron.workspaceOptions":"Các hành động của dự án cho {folder}","sidebarElectron.worktreeGroupTooltip":"Đây là git worktree","skills.appsPage.createSkill":"Kỹ năng mới","skills.appsPage.empty.skills":"Không tìm thấy kỹ năng nào","skills.appsPage.search.skills":"Tìm kiếm kỹ năng","skills.appsPage.search.skills.label":"Tìm kiếm kỹ năng","skills.appsPage.section.installedApps":"Đã cài đặt","skills.appsPage.section.skills":"Kỹ năng","skills.appsPage.subheading":"Nâng cao năng lực cho Codex. <link>Tìm hiểu thêm</link>","skills.appsPage.tab.recommended":"Được đề xuất","skills.appsPage.tab.skills":"Kỹ năng","skills.card.contentsError":"Không thể tải nội dung kỹ năng.","skills.card.disable":"Vô hiệu","skills.card.disableSuccess":"Kỹ năng {skillName} đã tắt","skills.card.disabledBadge":"Bị vô hiệu","skills.card.enable":"Cho phép","skills.card.enableSuccess":"Kỹ năng {skillName} đã bật","skills.card.loadingContents":"Đang tải nội dung kỹ năng...","skills.card.more":"Hành động khác","skills.card.open":"Mở","skills.card.removeFailed":"Không thể gỡ cài đặt kỹ năng","skills.card.removeSuccess":"Kỹ năng {skillName} đã bị gỡ cài đặt","skills.card.toggleEnabledError":"Không thể cập nhật kỹ năng","skills.card.try":"Thử","skills.card.trySkill":"Dùng thử kỹ năng","skills.card.uninstall":"Gỡ cài đặt","skills.hero.dotLabel":"Chuyển đến slide {index}","skills.hero.next":"Kỹ năng nổi bật tiếp theo","skills.hero.trySkill":"Dùng thử kỹ năng","skills.page.createSkill":"Kỹ năng mới","skills.page.empty":"Không tìm thấy kỹ năng nào","skills.page.filteredEmpty":"Không có kỹ năng nào khớp với các bộ lọc của bạn","skills.page.filteredEmptyDescription":"Thử điều chỉnh nội dung tìm kiếm hoặc điều chỉnh phạm vi bộ lọc","skills.page.heading":"Kỹ năng","skills.page.loading":"Đang tải kỹ năng...","skills.page.refreshSkills":"Làm mới","skills.page.refreshSkillsToUseNew":"Làm mới trang để sử dụng (các) kỹ năng mới","skills.page.search":"Tìm kiếm kỹ năng","skills.page.search.label":"Tìm kiếm kỹ năng","skills.page.subheading":"Nâng cao năng lực cho Codex. <link>Tìm hiểu thêm</link>","skills.preview.copyPrompt":"Sao chép lời nhắc","skills.preview.examplePrompt":"Lời nhắc ví dụ","skills.recommended.error":"Không thể tải các kỹ năng được đề xuất","skills.recommended.install":"Cài đặt","skills.recommended.installSkill":"Cài đặt kỹ năng","skills.recommended.installSuccess":"Kỹ năng {skillName} đã được cài đặt","skills.recommended.installed":"Đã cài đặt","skills.scope.admin":"Quản trị viên","skills.scope.adminInstalled":"Do quản trị viên cài đặt","skills.scope.builtIn":"Hệ thống","skills.scope.personal":"Cá nhân","skills.scope.repo":"Kho lưu trữ","skills.scope.system":"Hệ thống","skills.scope.team":"Nhóm","skills.scope.user":"Người dùng","skills.section.installed":"Đã cài đặt","skills.section.recommended":"Được đề xuất","story.slidingToggle.existing":"Hiện có","story.slidingToggle.fromLocal":"Từ cục bộ","story.slidingToggle.new":"Mới","story.slidingToggle.toLocal":"Đến cục bộ","terminal.close":"Đóng thiết bị đầu cuối","terminal.title":"Thiết bị đầu cuối","thinkingShimmer.default":"Đang suy nghĩ","threadEnvIcon.cloudTooltip":"Cuộc trò chuyện này đang diễn ra trên Codex Cloud.","threadEnvIcon.localTooltip":"Cuộc trò chuyện này đang diễn ra cục bộ.","threadEnvIcon.worktreeTooltip":"Cuộc trò chuyện này đang diễn ra trong một worktree git cục bộ.","threadHeader.archiveConfirmCancel":"Hủy","threadHeader.archiveConfirmConfirm":"Lưu trữ","threadHeader.archiveConfirmSubtitle":"Bạn có thể tìm lại sau trong các luồng được lưu trữ của bạn.","threadHeader.archiveConfirmTitle":"Lưu trữ luồng?","threadHeader.copyAppLink":"Sao chép liên kết sâu","threadHeader.copySessionId":"Sao chép ID phiên","threadHeader.copyWorkingDirectory":"Sao chép thư mục làm việc","threadHeader.forkIntoLocal":"Sao chép vào cục bộ","threadHeader.forkIntoWorktree":"Sao chép vào worktree mới","threadHeader.forkPendingWorktreePrompt":"Sao chép cuộc trò chuyện này vào worktree mới","threadHeader.forkPendingWorktreeTitle":"Cuộc trò chuyện được sao chép","threadHeader.forkThreadError":"Sao chép luồng không thành công","threadHeader.forkThreadRequiresGitRepo":"Để sao chép vào worktree mới, cần có kho lưu trữ git","threadHeader.moreActions":"Thao tác với luồng","threadPage.newThread":"Chủ đề mới","threadPage.runAction.changeEnvironment":"Thay đổi môi trường","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} hành động","threadPage.runAction.environmentSelector.label":"Chọn môi trường","threadPage.runAction.label":"Chạy","threadPage.runAction.missing.label":"Thiết lập một hành động chạy","threadPage.runAction.setup.commandLabel":"Lệnh cần chạy","threadPage.runAction.setup.description":"Chỉ dẫn Codex cách cài đặt các mục phụ thuộc và khởi động ứng dụng của bạn.","threadPage.runAction.setup.editMore":"Cài đặt môi trường","threadPage.runAction.setup.placeholder":"ví dụ: npm install npm run","threadPage.runAction.setup.submit":"Lưu và chạy","threadPage.runAction.setup.title":"Chạy","threadPage.runAction.tooltip.withEnvironment":"{environmentName} hành động","threadPage.toggleDiffPanel":"Bật/tắt bảng điều khiển tệp diff","threadPage.toggleTerminal":"Chuyển đổi thiết bị đầu cuối","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Mở thư mục","toolSummaryForCmd.exploredFiles":"<verb>Đã liệt kê</verb> các tệp","toolSummaryForCmd.exploredFilesInPath":"<verb>Đã liệt kê</verb> các tệp trong {path}","toolSummaryForCmd.exploringFiles":"<verb>Đang liệt kê</verb> các tệp","toolSummaryForCmd.exploringFilesInPath":"<verb>Đang liệt kê</verb> các tệp trong {path}","toolSummaryForCmd.ranGenericCommand":"<status>Đã chạy lệnh</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Đã chạy</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Đọc</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Đang chạy lệnh</status>{timer}","toolSummaryForCmd.runningTimer":"dành cho {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Đã tìm kiếm</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Đã tìm kiếm</verb> tệp","toolSummaryForCmd.searchedForInPath":"<verb>Đã tìm kiếm</verb> {query} trong {path}","toolSummaryForCmd.searchingFor":"<verb>Đang tìm kiếm</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Đang tìm kiếm</verb> tệp","toolSummaryForCmd.searchingForInPath":"<verb>Đang tìm kiếm</verb> {query} trong {path}","traceRecording.details.noteLabel":"Bạn đang làm gì khi điều này xảy ra? (không bắt buộc)","traceRecording.details.notePlaceholder":"Đã điều hướng đến một luồng lớn, sau đó liên tục chuyển đổi giữa các tab…","traceRecording.details.submit":"Gửi bản ghi theo dõi","traceRecording.details.subtitle":"Chúng tôi có thể gửi bản ghi theo dõi hồ sơ này để giúp chẩn đoán các vấn đề về hiệu suất.","traceRecording.details.title":"Gửi bản ghi theo dõi hồ sơ?","traceRecording.progress.subtitle":"Để Codex mở trong khi hoàn thành quy trình này.","traceRecording.saving.title":"Đang lưu bản ghi theo dõi…","traceRecording.startDetails.cancel":"Hủy","traceRecording.startDetails.submit":"Ok, hãy bắt đầu ghi","traceRecording.startDetails.subtitle":"Sau khi bạn nhấp vào OK, hãy tái hiện sự cố hiệu suất, sau đó nhấp vào chỉ báo màu đỏ nổi để dừng và xem lại bản ghi theo dõi.","traceRecording.startDetails.title":"Cách hệ thống ghi bản theo dõi hồ sơ hoạt động","traceRecording.stopButton.ariaLabel":"Dừng ghi bản theo dõi hồ sơ","traceRecording.upload.successToast":"Đã gửi bản ghi theo dõi hồ sơ.","traceRecording.uploading.title":"Đang cập nhật bản ghi theo dõi…","wham.diff.addComment":"Thêm bình luận","wham.diff.binaryFile":"Tệp nhị phân không được hiển thị","wham.diff.noContent":"Không có nội dung","wham.fileTag.deleted":"Đã xóa","wham.fileTag.new":"Mới","wham.formattedRelativeDateTime.compactDaysAgo":"{value} ngày","wham.formattedRelativeDateTime.compactHoursAgo":"{value} giờ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} phút","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} tháng","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} tuần","wham.formattedRelativeDateTime.compactYearsAgo":"{value} năm","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Đang xử lý nhiệm vụ của bạn","wham.whamProposedTask.title":"Nhiệm vụ được đề xuất","wham.whamProposedTask.useSuggestion":"Sử dụng đề xuất","workspaceRootDialog.addError":"Không thể thêm dự án","workspaceRootDialog.cancel":"Hủy","workspaceRootDialog.confirmAdd":"Thêm dự án","workspaceRootDialog.confirmPick":"Sử dụng dự án","workspaceRootDialog.description":"Nhập đường dẫn trên {host} để sử dụng làm dự án.","workspaceRootDialog.pathLabel":"Đường dẫn dự án","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Thêm đường dẫn dự án","workspaceRootDialog.title.pick":"Chọn đường dẫn dự án","worktreeInitV2.cancel":"Hủy","worktreeInitV2.notification.failedTitle":"Thiết lập worktree không thành công.","worktreeInitV2.output.empty":"Đang chờ kết quả đầu ra...","worktreeInitV2.status.error":"Thiết lập cây việc làm không thành công.","worktreeInitV2.status.running":"Đang tạo cây việc làm và chạy quy trình thiết lập.","worktreeInitV2.status.runningFork":"Đang tạo worktree để sao chép cuộc trò chuyện này","worktreeInitV2.status.success":"Cây việc làm đã sẵn sàng","worktreeInitV2.title":"Đang tạo worktree","worktreeInitV2.workLocallyInstead":"Làm việc trong cục bộ thay vì","worktreeRestoreBanner.body":"Worktree của chủ đề này đã bị xóa để tiết kiệm dung lượng ổ đĩa","worktreeRestoreBanner.missing.body":"Thư mục làm việc của luồng này không còn tồn tại","worktreeRestoreBanner.missing.title":"Thư mục làm việc hiện tại bị thiếu","worktreeRestoreBanner.restore.error":"Khôi phục worktree thất bại: {message}","worktreeRestoreBanner.restore.success":"Đã khôi phục worktree","worktreeRestoreBanner.restoreCta":"Khôi phục worktree","worktreeRestoreBanner.title":"Đã dọn dẹp worktree"};export{e as default};
+const e={"CopyButton.copyTooltip":"Sao chép","app.sidebar.hide":"Ẩn thanh bên","app.sidebar.show":"Hiện thanh bên","app.sidebar.tooltip":"Bật tắt sidebar","appHeader.installUpdate":"Cập nhật","appSunset.body":"Phiên bản ứng dụng này hiện không còn được hỗ trợ. Vui lòng tải xuống phiên bản mới nhất <here>tại đây</here>.","appSunset.title":"Bắt buộc cập nhật","automation.updateDirective.create":"Tạo","automation.updateDirective.open":"Mở","automation.updateDirective.untitled":"Quy trình tự động hóa không có tiêu đề","automation.updateDirective.update":"Cập nhật","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# lần}}","cloudTaskRow.archiveError":"Không lưu trữ được nhiệm vụ","code.diff.requestChange":"Yêu cầu thay đổi","code.diffComment.cancel":"Hủy","code.diffComment.comment":"Nhận xét","code.diffComment.delete":"Xóa","code.diffComment.save":"Lưu","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"Chưa có phát hiện nào được báo cáo.","codex.alert.closeAriaLabel":"Đóng","codex.appUpsellBanner.cbpApi.message":"Xây dựng nhanh hơn với ứng dụng Codex. Tải xuống ngay hoặc {learnMoreLink}","codex.appUpsellBanner.download":"Tải xuống","codex.appUpsellBanner.freeGo.message":"Codex sẽ đi kèm với gói dịch vụ của bạn đến hết ngày 2 tháng 3. Hãy thử ứng dụng Codex để xây dựng nhanh hơn.","codex.appUpsellBanner.later":"Để sau","codex.appUpsellBanner.learnMoreLowercase":"Tìm hiểu thêm","codex.appUpsellBanner.new":"Mới","codex.appUpsellBanner.proPlusBusiness.message":"Dùng thử ứng dụng Codex với giới hạn sử dụng gấp đôi đến ngày 2 tháng 4. Tải xuống ngay hoặc {learnMoreLink}","codex.appUpsellBanner.title":"Ứng dụng Codex","codex.applyDropdown.header.changes":"Thay đổi","codex.applyDropdown.header.fileCount":"{count, plural, other {# tệp}}","codex.applyDropdown.header.rows":"hàng","codex.applyDropdown.header.title":"Áp dụng thay đổi","codex.applyDropdown.header.workspace":"Dự án","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} tệp bị xung đột:}}","codex.applyDropdown.results.empty":"Không có tệp nào được sao chép","codex.applyDropdown.results.skipped":"{count, plural, other {{count} tệp đã bỏ qua:}}","codex.applyOrRevertBanner.apply":"Áp dụng","codex.applyOrRevertBanner.applyMessage":"Áp dụng thay đổi và tiếp tục ở cục bộ?","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"Nhiệm vụ này được thực hiện trong {environment} vậy nên có thể không áp dụng suôn sẻ.","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"Những thay đổi này được thực hiện trong {environment} vậy nên có thể không áp dụng suôn sẻ.","codex.applyOrRevertBanner.reapply":"Áp dụng lại","codex.applyOrRevertBanner.revert":"Khôi phục","codex.applyOrRevertBanner.revertMessage":"Khôi phục những thay đổi đã áp dụng?","codex.applyResultsDialog.applied":"Đã áp dụng suôn sẻ ({count})","codex.applyResultsDialog.close":"Đóng","codex.applyResultsDialog.conflicted":"Có xung đột ({count})","codex.applyResultsDialog.noDetails":"Không có thông tin chi tiết về tệp.","codex.applyResultsDialog.skipped":"Đã bỏ qua ({count})","codex.applyResultsDialog.title":"Kết quả áp dụng","codex.archiveInfo":"Xem các đoạn chat được lưu trữ trong {dataControlsLink}.","codex.archiveInfo.dataControlsLink":"Kiểm soát dữ liệu","codex.archiveInfo.electron":"Xem các đoạn chat được lưu trữ trong {settingsLink}","codex.archiveInfo.extension":"Xem các đoạn chat được lưu trữ trong thư mục .codex của bạn.","codex.archiveInfo.settingsLink":"Cài đặt","codex.banner.content.description":"Chạy các nhiệm vụ song song, theo dõi tiến độ ở mọi nơi và xem xét PR bằng AI.","codex.banner.content.headline":"Codex có thể làm được tất cả.","codex.cloudTaskRow.archiveTask":"Lưu trữ nhiệm vụ","codex.cloudTaskRow.confirmArchiveTask":"Xác nhận","codex.command.feedback":"Phản hồi","codex.command.findInThread":"Tìm","codex.command.forceReloadSkills":"Buộc tải lại kỹ năng","codex.command.logOut":"Đăng xuất","codex.command.manageTasks":"Quản lý nhiệm vụ","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"Quay lại","codex.command.navigateForward":"Chuyển tiếp","codex.command.newThread":"Chủ đề mới","codex.command.nextThread":"Luồng tiếp theo","codex.command.openFolder":"Mở thư mục","codex.command.openSkills":"Đi đến kỹ năng","codex.command.openThreadOverlay":"Luồng bật lên","codex.command.personalitySettings":"Tính cách","codex.command.previousThread":"Luồng trước đó","codex.command.settings":"Cài đặt","codex.command.toggleDiffPanel":"Bật/tắt bảng điều khiển tệp diff","codex.command.toggleSidebar":"Bật/tắt thanh bên","codex.command.toggleTerminal":"Chuyển đổi thiết bị đầu cuối","codex.commandGroup.app":"Ứng dụng","codex.commandGroup.configure":"Định cấu hình","codex.commandGroup.navigation":"Điều hướng","codex.commandGroup.panels":"Ô","codex.commandGroup.skills":"Kỹ năng","codex.commandGroup.thread":"Luồng","codex.commandGroup.workspace":"Dự án","codex.commandMenu.noResults":"Không có kết quả phù hợp","codex.commandMenu.searchPlaceholder":"Tìm kiếm lệnh","codex.commandMenu.suggestedGroup":"Được đề xuất","codex.commandMenu.switchWorkspace":"Chuyển đổi dự án","codex.commandMenu.title":"Menu lệnh","codex.common.retry":"Thử lại","codex.composer.searchBranches":"Tìm kiếm nhánh...","codex.dialog.basic.body":"Đây là cửa sổ hộp thoại đơn giản sử dụng lớp bao bọc của chúng tôi xung quanh Radix Dialog.","codex.dialog.basic.cancel":"Hủy","codex.dialog.basic.confirm":"Xác nhận","codex.dialog.basic.open":"Mở hộp thoại","codex.dialog.basic.title":"Hộp thoại mẫu","codex.dialog.long.close":"Đóng","codex.dialog.long.line":"Dòng {index} có thể cuộn để hiển thị nội dung dài bên trong hộp thoại.","codex.dialog.long.open":"Mở hộp thoại dài","codex.dialog.long.title":"Hộp thoại nội dung dài","codex.dialog.unstyled.body":"Câu chuyện này minh họa cách người gọi có thể kiểm soát hoàn toàn cách trình bày nội dung hộp thoại.","codex.dialog.unstyled.open":"Mở hộp thoại chưa tạo kiểu trình bày","codex.dialog.unstyled.title":"Nội dung chưa tạo kiểu trình bày","codex.diff.openInEditorPrompt.openButton":"Mở trong trình soạn thảo","codex.diff.openInEditorPrompt.singleLine":"Tệp này quá lớn nên không thể hiển thị ở đây.","codex.diffView.failedToDecodeBase64Diff":"Không giải mã được tệp diff base64","codex.diffView.filesChanged":"{fileCount, plural, other {# tệp đã thay đổi}}","codex.diffView.imagePreviewAlt":"Xem trước hình ảnh","codex.diffView.imagePreviewEmpty":"Không có hình ảnh","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"Không có dữ liệu diff","codex.diffView.pdfPreview.nextPage":"Trang tiếp theo","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"Trang trước đó","codex.diffView.pdfPreviewEmpty":"Không có bản xem trước PDF","codex.diffView.pdfPreviewError":"Không thể hiển thị bản xem trước PDF","codex.diffView.richPreviewDisable":"Tắt chế độ xem trước chi tiết","codex.diffView.richPreviewEnable":"Bật chế độ xem trước chi tiết","codex.diffView.richPreviewLoading":"Đang tải bản xem trước…","codex.diffView.richPreviewToggle":"Bật/tắt chế độ xem trước chi tiết","codex.diffView.switchToUnified":"Chuyển sang tệp diff thống nhất","codex.environmentSelector.noEnvironment":"Không có môi trường","codex.environments.environmentSettings":"Cài đặt môi trường","codex.environments.learnMore":"Tìm hiểu thêm","codex.environments.listError":"Không tải được môi trường.","codex.environments.noEnvironmentsFound":"Không tìm thấy môi trường nào","codex.environments.searchError":"Không tìm kiếm được môi trường.","codex.errorBoundary.genericError":"Rất tiếc, đã xảy ra lỗi","codex.errorBoundary.goHome":"Thử lại","codex.file.patch.missing":"Không thể tạo bản vá cho tệp này.","codex.gallery.automations.cwdLabel":"Dự án","codex.gallery.automations.nameLabel":"Tên","codex.gallery.automations.namePlaceholder":"Tóm tắt một tác vụ","codex.gallery.automations.promptLabel":"Câu lệnh","codex.gallery.automations.promptPlaceholder":"Mô tả Codex cần làm gì","codex.gallery.dialogs.automation.label":"Hộp thoại tự động hóa","codex.gallery.dialogs.basic.body":"Dùng bố cục này cho các xác nhận đơn giản hoặc biểu mẫu ngắn.","codex.gallery.dialogs.basic.cancel":"Hủy","codex.gallery.dialogs.basic.confirm":"Xác nhận","codex.gallery.dialogs.basic.label":"Hộp thoại cơ bản","codex.gallery.dialogs.basic.title":"Hộp thoại mẫu","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"Mô tả vấn đề","codex.gallery.dialogs.feedbackSubmission.bad":"Kết quả không hợp lệ","codex.gallery.dialogs.feedbackSubmission.bug":"Lỗi","codex.gallery.dialogs.feedbackSubmission.good":"Kết quả hợp lệ","codex.gallery.dialogs.feedbackSubmission.includeLogs":"Bao gồm nhật ký phiên Codex hiện tại","codex.gallery.dialogs.feedbackSubmission.label":"Gửi phản hồi","codex.gallery.dialogs.feedbackSubmission.other":"Khác","codex.gallery.dialogs.feedbackSubmission.placeholder":"Mô tả vấn đề ở đây","codex.gallery.dialogs.feedbackSubmission.submit":"Gửi","codex.gallery.dialogs.feedbackSubmission.title":"Phản hồi","codex.gallery.dialogs.feedbackSuccess.body":"Phản hồi đã được tải lên. Nếu vấn đề vẫn tiếp diễn, vui lòng mở một sự cố trên GitHub hoặc nhắc đến id luồng trong một sự cố đang mở:","codex.gallery.dialogs.feedbackSuccess.dismiss":"Bỏ qua","codex.gallery.dialogs.feedbackSuccess.label":"Gửi phản hồi thành công","codex.gallery.dialogs.feedbackSuccess.title":"Đã tải phản hồi lên","codex.gallery.dialogs.gitApplyResults.applied":"Đã áp dụng suôn sẻ (2)","codex.gallery.dialogs.gitApplyResults.close":"Đóng","codex.gallery.dialogs.gitApplyResults.conflicted":"Có xung đột (1)","codex.gallery.dialogs.gitApplyResults.label":"Kết quả áp dụng","codex.gallery.dialogs.gitApplyResults.title":"Kết quả áp dụng","codex.gallery.dialogs.gitPushError.body":"Kéo các thay đổi mới nhất hoặc buộc thay đổi nếu bạn biết lịch sử remote an toàn để ghi đè.","codex.gallery.dialogs.gitPushError.cancel":"Hủy","codex.gallery.dialogs.gitPushError.force":"Buộc thực hiện đẩy","codex.gallery.dialogs.gitPushError.label":"Lỗi đẩy","codex.gallery.dialogs.gitPushError.subtitle":"Nhánh của bạn đang tụt so với origin/main.","codex.gallery.dialogs.gitPushError.title":"Không thể đẩy các thay đổi","codex.gallery.dialogs.gitRevert.cancel":"Hủy","codex.gallery.dialogs.gitRevert.confirm":"Khôi phục","codex.gallery.dialogs.gitRevert.label":"Hoàn nguyên các thay đổi","codex.gallery.dialogs.gitRevert.skip":"Đừng hỏi lại","codex.gallery.dialogs.gitRevert.subtitle":"Hành động này sẽ xóa tất cả những thay đổi này.","codex.gallery.dialogs.gitRevert.title":"Hoàn nguyên thay đổi?","codex.gallery.dialogs.longForm.label":"Hộp thoại dạng dài","codex.gallery.dialogs.proseModal.body":"Kiểu hộp thoại này được dùng cho hướng dẫn, cho người dùng mới hoặc các khối nội dung phong phú.","codex.gallery.dialogs.proseModal.close":"Đóng","codex.gallery.dialogs.proseModal.subtitle":"Chia sẻ hướng dẫn dạng dài hoặc tài liệu tại đây.","codex.gallery.dialogs.proseModal.title":"Hộp thoại văn bản","codex.gallery.dialogs.submitBlocked.label":"Không thể gửi","codex.gallery.dialogs.submitBlocked.message":"Không thể gửi tin nhắn vì dự án không khả dụng.","codex.gallery.dialogs.submitBlocked.ok":"OK","codex.gallery.dialogs.submitBlocked.title":"Không thể gửi tin nhắn","codex.gallery.dialogs.title":"Hộp thoại","codex.gallery.dropdown.filterPlaceholder":"Lọc mục","codex.gallery.dropdowns.actionRow":"Hàng thao tác","codex.gallery.dropdowns.actionRow.disabled":"Thao tác bị vô hiệu","codex.gallery.dropdowns.actionRow.primary":"Thao tác chính","codex.gallery.dropdowns.actionRow.secondary":"Hành động thứ cấp","codex.gallery.dropdowns.actionRow.trigger":"Hiển thị thao tác","codex.gallery.dropdowns.basic":"Danh sách thả xuống cơ bản","codex.gallery.dropdowns.basic.newFile":"Tệp mới","codex.gallery.dropdowns.basic.newFolder":"Thư mục mới","codex.gallery.dropdowns.basic.openSettings":"Mở cài đặt","codex.gallery.dropdowns.basic.title":"Thao tác nhanh","codex.gallery.dropdowns.basic.trigger":"Mở menu","codex.gallery.dropdowns.basic.upload":"Tải lên","codex.gallery.dropdowns.panel":"Bề mặt bảng","codex.gallery.dropdowns.panel.apply":"Áp dụng","codex.gallery.dropdowns.panel.body":"Xem lại những thay đổi và áp dụng vào dự án của bạn.","codex.gallery.dropdowns.panel.preview":"Xem trước","codex.gallery.dropdowns.panel.title":"Áp dụng thay đổi","codex.gallery.dropdowns.panel.trigger":"Mở bảng","codex.gallery.dropdowns.search":"Danh sách thả xuống có thể tìm kiếm","codex.gallery.dropdowns.search.first":"Kênh alpha","codex.gallery.dropdowns.search.second":"Nhánh beta","codex.gallery.dropdowns.search.third":"Thả ứng viên","codex.gallery.dropdowns.search.trigger":"Lọc mục","codex.gallery.dropdowns.submenu":"Danh sách thả xuống có menu phụ","codex.gallery.dropdowns.submenu.optionA":"Dự án alpha","codex.gallery.dropdowns.submenu.optionB":"Dự án beta","codex.gallery.dropdowns.submenu.optionC":"Dự án gamma","codex.gallery.dropdowns.submenu.primary":"Chỉ định chủ sở hữu","codex.gallery.dropdowns.submenu.secondary":"Di chuyển sang","codex.gallery.dropdowns.submenu.tertiary":"Lưu trữ","codex.gallery.dropdowns.submenu.trigger":"Chọn thao tác","codex.gallery.dropdowns.title":"Danh sách thả xuống","codex.gallery.inbox.automations.close":"Đóng","codex.gallery.inbox.automations.popover.cardTitle":"Quản lý tự động hóa","codex.gallery.inbox.automations.popover.dialogTitle":"Quản lý tự động hóa","codex.header.settingsTooltip":"Cài đặt","codex.hunk.patch.error":"Đưa vào môi trường thử nghiệm không thành công","codex.hunk.patch.missing":"Không thể tạo bản vá cho hunk này.","codex.hunk.patch.partialSuccess":"Thành công một phần","codex.hunk.patch.revertError":"Gỡ khỏi môi trường thử nghiệm không thành công","codex.hunk.patch.revertSuccess":"Đã gỡ khỏi môi trường thử nghiệm thành công","codex.hunk.patch.success":"Đã đưa vào môi trường thử nghiệm thành công","codex.legal.autonomy.details":"Để biết thêm chi tiết, hãy xem {link}","codex.legal.autonomy.details.link":"Tài liệu Codex","codex.legal.autonomy.title":"Quyết định mức độ tự chủ mà bạn muốn cho phép","codex.legal.backButton":"Quay lại","codex.legal.cloud.taskOne.meta":"openai/agi · 12 tháng 10","codex.legal.cloud.taskOne.title":"Giải thích kho lưu trữ cho nhà thiết kế mới","codex.legal.cloud.taskThree.meta":"openai/codex · 8 tháng 10","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"Tạo giao diện chế độ tối","codex.legal.cloud.taskTwo.meta":"openai/agi · 9 tháng 10","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"Sửa lỗi thiết lập ban đầu","codex.legal.continue.apikey":"Tiếp tục","codex.legal.continueButton":"Tiếp theo","codex.legal.copilot.details":"Sử dụng gói Copilot của bạn cho tất cả lệnh gọi mô hình, thanh toán và giới hạn sử dụng. Việc sử dụng tiện ích mở rộng Codex phải tuân theo cả {oaiTos} và {gitHubTos}.","codex.legal.copilot.gitHubTosLink":"Điều khoản dịch vụ của GitHub","codex.legal.copilot.oaiTosLink":"Điều khoản dịch vụ của OpenAI Codex","codex.legal.copilot.title":"Được hỗ trợ bởi GitHub Copilot","codex.legal.mistakes.review":"Xem xét mã do Codes viết và các lệnh Codex chạy","codex.legal.mistakes.title":"Codex có thể mắc lỗi","codex.legal.powered.details":"Sử dụng giới hạn sử dụng của gói đăng ký của bạn và {link}","codex.legal.powered.details.link":"tùy chọn về việc sử dụng dữ liệu để huấn luyện","codex.legal.powered.title":"Được hỗ trợ bởi tài khoản ChatGPT của bạn","codex.legal.step.cloud.subtitle":"Gửi nhiệm vụ đến Codex để chạy ở chế độ nền để bạn có thể tập trung và làm việc nhanh hơn.","codex.legal.step.cloud.title":"Chuyển giao cho Codex trên đám mây","codex.legal.step.intro.subtitle":"Codex điều hướng, chỉnh sửa, chạy lệnh và thực hiện kiểm tra trực tiếp trong kho lưu trữ của bạn. Được hỗ trợ bởi tài khoản ChatGPT của bạn.","codex.legal.step.intro.title":"Codex trong IDE của bạn","codex.legal.step.todo.subtitle":"Viết ghi chú TODO và chuyển đổi thành một nhiệm vụ trong Codex chỉ bằng một cú nhấp chuột.","codex.legal.step.todo.title":"Biến TODO thành nhiệm vụ Codex","codex.legal.todo.heading":"// TODO: triển khai lược đồ","codex.localConversation.closeImagePreview":"Đóng xem trước hình ảnh","codex.localConversation.userImageAttachment":"Tệp đính kèm của người dùng","codex.localTaskRow.archiveTask":"Lưu trữ chủ đề","codex.localTaskRow.awaitingApproval":"Đang chờ phê duyệt","codex.localTaskRow.awaitingResponse":"Đang chờ phản hồi","codex.localTaskRow.confirmArchiveTask":"Xác nhận","codex.loggedOut.apiKeyPrompt.cancel":"Hủy","codex.loggedOut.apiKeyPrompt.confirm":"OK","codex.loggedOut.apiKeyPrompt.getKey":"Nhận khóa API","codex.loggedOut.apiKeyPrompt.inputLabel":"Nhập khóa API OpenAI của bạn","codex.loggedOut.apiKeyPrompt.placeholder":"sk-...","codex.loggedOut.cloudTasksDisabledWithApiKey":"Các nhiệm vụ đám mây bị vô hiệu hóa với khóa API","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"Các nhiệm vụ đám mây bị vô hiệu hóa với Copilot và khóa API","codex.loggedOut.signIn":"Đăng nhập bằng ChatGPT","codex.loggedOut.signIn.cancel":"Hủy đăng nhập","codex.loggedOut.signInWithCopilot":"Đăng nhập bằng GitHub Copilot","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"Sử dụng khóa API","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"Công cụ {server} MCP {tool}","codex.mcpTool.collapsedLabel.verb.called":"Đã gọi","codex.mcpTool.collapsedLabel.verb.calling":"Đang gọi","codex.mcpTool.embeddedResource.contentLabel":"Nội dung","codex.mcpTool.embeddedResource.mimeTypeLabel":"Loại MIME","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"Công cụ không trả về nội dung nào","codex.mcpTool.rawPayloadHeading":"Dữ liệu truyền đi trong lệnh gọi công cụ {server}.{tool} gốc","codex.menu.recent":"Gần đây","codex.menu.seeAllHistory":"Xem tất cả lịch sử","codex.modelCapacityBanner.headline.noReset":"{modelName} hiện đang quá tải. Vui lòng thử lại sau, hoặc bắt đầu một cuộc trò chuyện mới với một mô hình khác.","codex.modelCapacityBanner.headline.withReset":"{modelName} hiện đang quá tải. Vui lòng thử lại sau {resetDate}, hoặc bắt đầu một cuộc trò chuyện mới với một mô hình khác.","codex.modelCapacityBanner.title":"Mô hình đã chọn đang quá tải","codex.patch.change.contentsDeleted":"Nội dung đã xóa","codex.patch.change.created":"Đã tạo","codex.patch.change.created-file":"Đã tạo tệp","codex.patch.change.creating":"Đang tạo","codex.patch.change.deleted":"Đã xóa","codex.patch.change.deleted-file":"Đã xóa tệp","codex.patch.change.deleting":"Đang xóa","codex.patch.change.edited":"Đã chỉnh sửa","codex.patch.change.edited-file":"Tệp đã chỉnh sửa","codex.patch.change.editing":"Đang chỉnh sửa","codex.patch.change.noChanges":"Không có thay đổi nào","codex.patch.change.rejected-add":"Bị từ chối","codex.patch.change.rejected-delete":"Bị từ chối","codex.patch.change.rejected-edit":"Bị từ chối","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"{completed}/{total} nhiệm vụ đã hoàn thành","codex.plan.todoListCreated":"Danh sách việc cần làm được tạo có {total} nhiệm vụ","codex.profileDropdown.apiKeyAuth":"Đã đăng nhập bằng khóa API","codex.profileDropdown.codexSettings":"Cài đặt Codex","codex.profileDropdown.copilotAuth":"Đã đăng nhập bằng Copilot","codex.profileDropdown.defaultAccountTitle":"Tài khoản mặc định","codex.profileDropdown.enterBehavior":"{modifierSymbol} + enter để gửi câu lệnh dài","codex.profileDropdown.enterBehaviorError":"Cập nhật cài đặt không thành công","codex.profileDropdown.getPlus":"Nâng cấp để được giới hạn cao hơn","codex.profileDropdown.keyboardShortcuts":"Lối tắt bàn phím","codex.profileDropdown.language":"Ngôn ngữ","codex.profileDropdown.languageDefault":"Dò tìm tự động","codex.profileDropdown.languageSearchPlaceholder":"Tìm kiếm ngôn ngữ","codex.profileDropdown.languageUpdateError":"Không cập nhật được ngôn ngữ","codex.profileDropdown.logOut":"Đăng xuất","codex.profileDropdown.mcp":"Cài đặt MCP","codex.profileDropdown.openConfigToml":"Mở config.toml","codex.profileDropdown.openConfigToml.wsl":"Mở config.toml trong môi trường WSL","codex.profileDropdown.openExtensionSettings":"Mở cài đặt","codex.profileDropdown.openMcpSettings":"Mở cài đặt MCP","codex.profileDropdown.openOnStartup":"Mở khi khởi động","codex.profileDropdown.openOnStartupError":"Cập nhật cài đặt không thành công","codex.profileDropdown.openSkillsSettings":"Mở cài đặt Kỹ năng","codex.profileDropdown.personalAccountTitle":"Tài khoản cá nhân","codex.profileDropdown.queueFollowUps":"Xếp nhiệm vụ tiếp theo vào hàng đợi","codex.profileDropdown.queueFollowUpsError":"Cập nhật cài đặt không thành công","codex.profileDropdown.readDocs":"Đọc tài liệu","codex.profileDropdown.readSkillsDocs":"Đọc tài liệu","codex.profileDropdown.runInWsl":"Chạy trong WSL","codex.profileDropdown.runInWslError":"Cập nhật cài đặt không thành công","codex.profileDropdown.runInWslTooltip":"Chạy Codex bên trong WSL. Được khuyến nghị để cải thiện khả năng bảo mật cho môi trường thử nghiệm và có được hiệu suất tốt hơn.","codex.profileDropdown.settings":"Cài đặt IDE","codex.profileDropdown.settingsPage":"Cài đặt","codex.profileDropdown.signInWithOpenAI":"Đăng nhập bằng ChatGPT","codex.profileDropdown.skills":"Cài đặt Kỹ năng","codex.profileDropdown.switchToCopilotAccount":"Sử dụng tài khoản Copilot","codex.profileDropdown.switchToOpenAIAccount":"Sử dụng tài khoản OpenAI","codex.profileDropdown.todoCodelens":"Sửa ghi chú TODO","codex.profileDropdown.todoCodelensError":"Cập nhật cài đặt không thành công","codex.profileDropdown.windowsDocumentation":"Tài liệu Windows","codex.profileFooter.signedInFallback":"Cài đặt","codex.profileFooter.upgrade":"Nâng cấp","codex.recentTasksMenu.clearSearch":"Xóa nội dung tìm kiếm","codex.recentTasksMenu.cloud":"Nhiệm vụ trên đám mây","codex.recentTasksMenu.count":"{count, plural, =0 {Không có nhiệm vụ nào đang tiến hành} other {# nhiệm vụ đang tiến hành}}","codex.recentTasksMenu.empty":"Chưa có luồng nào","codex.recentTasksMenu.errorCloud":"Không tải được nhiệm vụ.","codex.recentTasksMenu.errorCloud.inline":"Không tải được nhiệm vụ trên đám mây.","codex.recentTasksMenu.filterAll":"Tất cả","codex.recentTasksMenu.filterCloudTasks":"Lọc nhiệm vụ trên đám mây","codex.recentTasksMenu.filterTooltip":"Lọc nhiệm vụ theo môi trường","codex.recentTasksMenu.local":"Nhiệm vụ cục bộ","codex.recentTasksMenu.recent":"Tất cả nhiệm vụ","codex.recentTasksMenu.search":"Tìm kiếm các nhiệm vụ gần đây","codex.recentTasksMenu.searchEmpty":"Không có kết quả","codex.recentTasksMenu.tooltip":"Lịch sử nhiệm vụ","codex.recentTasksMenu.trigger":"Nhiệm vụ gần đây. {count, plural, other {# đang tiến hành}}","codex.remoteConversation.applyDiff.applyCta":"Áp dụng thay đổi","codex.remoteConversation.applyDiff.dropdownTitle":"Áp dụng thay đổi cho một nhánh cục bộ","codex.remoteConversation.applyDiff.revertCta":"Hoàn nguyên các thay đổi","codex.remoteConversation.closeImagePreview":"Đóng xem trước hình ảnh","codex.remoteConversation.codexCloudTask":"Bạn đang xem một nhiệm vụ trên <u>đám mây Codex</u>","codex.remoteConversation.errorWithMessage":"Lỗi: {message}","codex.remoteConversation.loadingImage":"Đang tải hình ảnh","codex.remoteConversation.openInWeb":"Mở trong web","codex.remoteConversation.streaming":"Bắt đầu","codex.remoteConversation.turnFailed":"Đã xảy ra lỗi trong quá trình thực hiện nhiệm vụ này","codex.remoteConversation.turnTab.loading":"Lần thực hiện {number}","codex.remoteConversation.turnTab.title":"Lần thực hiện {number}","codex.remoteConversation.userImageAttachment":"Tệp đính kèm của người dùng","codex.remoteConversation.viewPreviousTurns":"Mở trong web","codex.remoteConversation.viewPreviousTurns.buttonText":"Mở","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"Mở trong web","codex.review.copyGitApplyCommand":"Sao chép lệnh git apply","codex.review.copyGitApplyCommand.toast":"Đã sao chép lệnh git apply vào bảng nhớ tạm","codex.review.diffTooLarge.description":"Bản so sánh này quá lớn để hiển thị trong phần Xem xét.","codex.review.diffTooLarge.title":"Không thể hiển thị diff vì kích thước quá lớn","codex.review.expandOrCollapseDiffButton.collapse":"Thu gọn tất cả tệp diff","codex.review.expandOrCollapseDiffButton.expand":"Mở rộng tất cả tệp diff","codex.review.expandOrCollapseDiffMenu.collapse":"Thu gọn tất cả tệp diff","codex.review.expandOrCollapseDiffMenu.expand":"Mở rộng tất cả tệp diff","codex.review.fileSearch.clear":"Xóa bộ lọc tệp","codex.review.fileSearch.empty":"Không có tệp nào khớp với bộ lọc hiện tại.","codex.review.fileSearch.label":"Lọc tệp","codex.review.fileSearch.placeholder":"Lọc tệp...","codex.review.filesChanged":"{num, plural, =0 {Không có tệp nào bị thay đổi} other {# tệp đã thay đổi}}","codex.review.find.loadMore":"Tải thêm kết quả phù hợp","codex.review.fullReview.hideFileTree":"Ẩn cây tệp tin","codex.review.fullReview.showFileTree":"Hiện cây tệp tin","codex.review.header.moreOptions":"Các tùy chọn xem trước","codex.review.largeDiff.banner":"Đã phát hiện thấy khác biệt lớn — đang hiển thị từng tệp một.","codex.review.loadFullFiles.disable":"Không tải toàn bộ tệp","codex.review.loadFullFiles.enable":"Tải toàn bộ tệp","codex.review.noDiff":"Các thay đổi tệp sẽ xuất hiện tại đây","codex.review.noDiff.gitInit.createRepository":"Tạo kho lưu trữ Git","codex.review.noDiff.gitInit.creating":"Đang tạo...","codex.review.noDiff.gitInit.error":"Khởi tạo git không thành công: {message}","codex.review.noDiff.gitInit.success":"Đã tạo kho Git","codex.review.noDiff.gitRepoRequired.description":"Theo dõi và hoàn tác các thay đổi trong dự án này","codex.review.noDiff.gitRepoRequired.title":"Tạo kho Git","codex.review.noDiff.orNoLongerAvailable":"hoặc tệp diff mới nhất không còn khả dụng nữa","codex.review.noDiff.reverted":"Lượt cuối cùng đã được hoàn nguyên","codex.review.noDiff.revertedOrCommitted":"Lượt cuối cùng đã được hoàn nguyên hoặc đã commit","codex.review.refreshGitQueries":"Làm mới","codex.review.revert.file.error":"Không thể khôi phục {path}","codex.review.revert.file.partialSuccess":"Đã khôi phục một phần {path}","codex.review.revert.file.success":"Đã khôi phục {path}","codex.review.revert.hunk.error":"Không thể khôi phục lại hunk {hunkNumber} trong {path}","codex.review.revert.hunk.partialSuccess":"Đã khôi phục lại một phần hunk {hunkNumber} trong {path}","codex.review.revert.hunk.success":"Đã khôi phục lại hunk {hunkNumber} trong {path}","codex.review.revert.section.error":"Không thể khôi phục phần","codex.review.revert.section.partialSuccess":"Phần đã được khôi phục một phần","codex.review.revert.section.success":"Phần đã được khôi phục","codex.review.revertDialog.cancel":"Hủy","codex.review.revertDialog.confirm":"Xác nhận","codex.review.revertDialog.message":"Hành động này sẽ xóa tất cả những thay đổi này.","codex.review.revertDialog.skip":"Đừng hỏi lại","codex.review.revertDialog.title":"Hoàn nguyên thay đổi?","codex.review.richPreview.disable":"Tắt chế độ xem trước chi tiết","codex.review.richPreview.enable":"Bật chế độ xem trước chi tiết","codex.review.source.cloud":"Thay đổi trên đám mây","codex.review.source.local.all":"Tất cả các thay đổi với nhánh","codex.review.source.local.lastTurn":"Thay đổi trong lượt cuối","codex.review.source.local.uncommitted":"Những thay đổi chưa commit","codex.review.source.worktree":"Thay đổi với worktree chưa được commit","codex.review.stageFilter.empty.staged.description":"Chấp nhận chỉnh sửa để đưa chúng vào môi trường thử nghiệm","codex.review.stageFilter.empty.staged.title":"Chưa có thay đổi nào được đưa vào môi trường thử nghiệm","codex.review.stageFilter.empty.unstaged.description":"Các thay đổi về mã sẽ hiển thị ở đây","codex.review.stageFilter.empty.unstaged.title":"Không có thay đổi nào chưa được đưa vào môi trường thử nghiệm","codex.review.stageFilter.staged":"Đã thử nghiệm","codex.review.stageFilter.staged.count":"Đã thử nghiệm · {count}","codex.review.stageFilter.unstaged":"Chưa thử nghiệm","codex.review.stageFilter.unstaged.count":"Chưa thử nghiệm · {count}","codex.review.switchToSplit":"Chuyển sang tệp diff phân tách","codex.review.switchToUnified":"Chuyển sang tệp diff thống nhất","codex.review.toggleDiffView":"Chuyển đổi chế độ xem tệp diff","codex.review.wordDiffs.disable":"Tắt chức năng so sánh văn bản","codex.review.wordDiffs.enable":"Bật chức năng so sánh văn bản","codex.review.wrap.disable":"Tắt chức năng xuống dòng tự động","codex.review.wrap.enable":"Bật chức năng xuống dòng tự động","codex.section.patch.missing":"Không thể xây dựng bản vá cho phần này.","codex.shell.collapse":"Thu gọn shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"Đã sao chép nội dung shell","codex.shell.copy.copyTooltip":"Sao chép nội dung shell","codex.shell.copyCommand":"Sao chép lệnh","codex.shell.copyOutput":"Sao chép đầu ra","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"bash","codex.shell.expand":"Mở rộng shell","codex.shell.name":"Shell","codex.shell.noOutput":"Không có đầu ra","codex.signInFailed.message":"Đăng nhập không thành công: {rawMessage}","codex.stories.toast.show":"Hiển thị thông báo ngắn","codex.stories.tooltip.basic":"Đây là chú giải công cụ","codex.stories.tooltip.hoverMe":"Di chuột qua tôi","codex.stories.tooltip.largerOffset":"Chú giải công cụ này có độ lệch lớn hơn","codex.stories.tooltip.offsetButton":"Độ lệch lớn hơn","codex.stories.tooltip.shortcutButton":"Với lối tắt","codex.stories.tooltip.withShortcut":"Chuyển đổi thiết bị đầu cuối","codex.taskRow.title":"Chủ đề mới","codex.taskRowLayout.confirm":"Xác nhận","codex.threadFindBar.chatFilter":"Tìm kiếm đoạn chat","codex.threadFindBar.close":"Đóng lượt tìm","codex.threadFindBar.diffFilter":"Tìm trong tệp diff","codex.threadFindBar.label":"Tìm trong luồng","codex.threadFindBar.nextResult":"Kết quả tiếp theo","codex.threadFindBar.noResults":"0 kết quả","codex.threadFindBar.placeholder":"Tìm trong luồng…","codex.threadFindBar.placeholder.extension":"Tìm trong luồng…","codex.threadFindBar.placeholder.review":"Tìm khác biệt...","codex.threadFindBar.placeholder.review.extension":"Tìm khác biệt...","codex.threadFindBar.previousResult":"Kết quả trước đó","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":".","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# tệp đã thay đổi}}","codex.unifiedDiff.inlineLargeFile":"Quá lớn nên không thể hiển thị nội tuyến","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"Hoàn tác","codex.unifiedDiff.revertPatchError":"Không thể hoàn nguyên các thay đổi","codex.unifiedDiff.revertPatchSuccess":"Đã hoàn nguyên thay đổi","codex.unifiedDiff.reviewChangesSuffix":"thay đổi","codex.unifiedDiff.reviewShort":"Xem xét","codex.unifiedDiff.viewDiffTooltip":"Xem xét","codex.upsellBanner.business.headline":"Để có thêm quyền truy cập ngay bây giờ, hãy gửi yêu cầu tới quản trị viên của bạn hoặc đợi đến {resetDate}.","codex.upsellBanner.cbp.headline":"Để có thêm quyền truy cập ngay bây giờ, hãy gửi yêu cầu tới quản trị viên của bạn.","codex.upsellBanner.cta.addCredits":"Thêm điểm credit","codex.upsellBanner.cta.upgradeAccount":"Nâng cấp","codex.upsellBanner.cta.viewUsage":"Xem mức sử dụng","codex.upsellBanner.free.trialHeadline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}. Để tiếp tục sử dụng Codex và truy cập GPT-5.3-Codex, hãy bắt đầu dùng thử miễn phí gói Plus ngay hôm nay.","codex.upsellBanner.freeOrGo.headline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}. Để tiếp tục sử dụng Codex, hãy nâng cấp lên gói Plus ngay hôm nay.","codex.upsellBanner.general.headline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}.","codex.upsellBanner.general.title":"Bạn đã đạt đến giới hạn nhắn tin trong Codex","codex.upsellBanner.go.trialHeadline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}. Để tiếp tục sử dụng Codex, hãy bắt đầu dùng thử miễn phí gói Plus ngay hôm nay.","codex.upsellBanner.plus.headline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}. Để tiếp tục sử dụng Codex, hãy nạp thêm điểm credit hoặc nâng cấp lên Pro ngay hôm nay.","codex.upsellBanner.pro.headline":"Giới hạn sử dụng của bạn sẽ được đặt lại vào {resetDate}. Hãy nạp thêm điểm credit để tiếp tục sử dụng Codex ngay bây giờ.","codex.userMessage.autoResolveSync":"Tự động giải quyết xung đột","codex.userMessage.commentCount":"{count, plural, other {# chú thích}}","codex.userMessage.copiedAriaLabel":"Đã sao chép","codex.userMessage.copiedTooltip":"Đã sao chép","codex.userMessage.copyAriaLabel":"Sao chép tin nhắn","codex.userMessage.copyTooltip":"Sao chép","codex.userMessage.implementPlan":"Thực thi kế hoạch","codex.userMessage.noContent":"(Không có nội dung)","codex.userMessage.priorConversation":"Tham chiếu các cuộc trò chuyện trước đó","codex.userMessage.reviewMode":"Chế độ xem lại","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"dành cho {query}","codex.webSearch.summary.verb.completed":"Đã tìm kiếm trên mạng","codex.webSearch.summary.verb.inProgress":"Đang tìm kiếm trên mạng","codex.windowsInstallWslBanner.dismiss":"Bỏ qua","codex.windowsInstallWslBanner.installWslCta":"Kích hoạt sandbox","codex.windowsInstallWslBanner.learnMore":"Tìm hiểu thêm","codex.windowsSandboxBanner.content":"Chế độ tác nhân sử dụng sandbox thử nghiệm trên Windows để hạn chế quyền truy cập hệ thống tệp và mạng. {sandboxLink}","codex.windowsSandboxBanner.title":"Bật sandbox cho chế độ Tác nhân","codex.windowsSubDropdown.windowsSandbox":"Sandbox Windows","codex.windowsSubDropdown.windowsSettings":"Cài đặt Windows","codexUpgradeModal.body":"Mô hình viết mã tự chủ tiên tiến nhất của chúng tôi — thông minh hơn, nhanh hơn và có khả năng thực hiện các nhiệm vụ kỹ thuật nói chung tốt hơn. {link}","codexUpgradeModal.close":"Đóng","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"Tìm hiểu thêm","codexUpgradeModal.title":"Giới thiệu GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"Dùng thử GPT-5.3-Codex ngay","codexUpgradeModal.useExistingModel":"Tiếp tục sử dụng mô hình hiện tại","commentAttachments.numComments":"{count, plural, other {# chú thích}}","commentAttachments.removeAriaLabel":"Xóa tệp đính kèm chứa chú thích","common.close":"Đóng","composer.addContext.openFilePickerError":"Không thể mở công cụ chọn tệp","composer.addContextDropdown.ariaLabel":"Thêm tệp và nhiều tính năng khác","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"Thêm tệp và nhiều tính năng khác","composer.addPhotosAndFiles":"Thêm ảnh và tệp","composer.atMentionList.emptyQuery":"Nhập để tìm kiếm tệp","composer.atMentionList.loading":"Đang tìm kiếm...","composer.atMentionList.noResults":"Không có kết quả","composer.attemptsSelector.option":"{count, plural, other {# phiên bản}}","composer.attemptsSelector.tooltip":"Số lượng các lần thực hiện song song mà Codex tiến hành","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"Dừng lại","composer.cloudFollowUp.cloud":"Đám mây","composer.cloudFollowUp.local":"Cục bộ","composer.cloudFollowUp.whereRun":"Hành động tiếp theo này nên diễn ra ở đâu?","composer.cloudTaskCreationError":"Lỗi khi tạo nhiệm vụ đám mây","composer.cloudTaskError":"Lỗi khi tạo nhiệm vụ","composer.contextWindow.autoCompactionTooltipLine1":"Codex tự động thu gọn ngữ cảnh","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"Cửa sổ ngữ cảnh:","composer.contextWindowUsageStatusFull":"Đầy {usage}%","composer.contextWindowUsageStatusLeft":"Đã sử dụng {usage}% (còn lại {remaining}%)","composer.contextWindowUsageTooltip":"{usedTokens}k / {contextWindow}k token được sử dụng","composer.customCliTooltip":"Sử dụng tệp thực thi CLI tùy chỉnh","composer.dictation.aria":"Chép lời","composer.dictation.cancel.aria":"Dừng chép chính tả","composer.dictation.cancel.tooltip":"Dừng chép chính tả","composer.dictation.startError":"Không thể bắt đầu nghe chép","composer.dictation.submit.aria":"Chép lời và gửi","composer.dictation.submit.tooltip":"Chép lời và gửi","composer.dictation.tooltip":"Giữ để chép lời","composer.dictation.transcribeError":"Không thể chép lời âm thanh","composer.dictation.unsupported":"Chức năng nghe chép không khả dụng trên thiết bị này","composer.dropOverlay.holdShift":"Giữ {key} để thả","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"Tạo mới","composer.environmentSelector.error":"Lỗi khi tải môi trường","composer.environmentSelector.goBack":"Quay lại trình soạn thảo","composer.environmentSelector.title":"Chọn môi trường","composer.environmentSelector.tooltip":"Chọn một môi trường đám mây","composer.feedbackSlashCommand.title":"Phản hồi","composer.filePicker.selectFile":"Chọn một tệp","composer.filePicker.selectFiles":"Chọn nhiều tệp","composer.followerTooltip":"Để tiếp tục, hãy quay lại cửa sổ nơi cuộc trò chuyện này bắt đầu.","composer.footer.branchSwitch.checkoutError":"Không thể chuyển đổi nhánh: {message}","composer.footer.branchSwitch.createAndCheckout":"Tạo và chuyển sang nhánh mới…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"Commit thay đổi để tạo và chuyển sang một nhánh mới","composer.footer.branchSwitch.createBranchError":"Không thể tạo nhánh: {message}","composer.footer.branchSwitch.createDialog.ariaLabel":"Tên nhánh","composer.footer.branchSwitch.createDialog.branchExistsError":"Nhánh đã tồn tại.","composer.footer.branchSwitch.createDialog.close":"Đóng","composer.footer.branchSwitch.createDialog.createAndCheckout":"Tạo và chuyển đổi","composer.footer.branchSwitch.createDialog.placeholder":"nhánh-mới","composer.footer.branchSwitch.createDialog.title":"Tạo và chuyển đổi nhánh","composer.footer.branchSwitch.createDialog.trailingSlashError":"Tên nhánh không được kết thúc bằng dấu “/”.","composer.footer.branchSwitch.tooltip":"Chuyển đổi nhánh","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"Lưu thay đổi vào {fileCount, plural, other {# tệp}} để kiểm tra {branchName}.","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"Commit","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"thay đổi trong {fileCount, plural, other {# tệp}} để kiểm tra {branchName}.","composer.footer.branchSwitch.uncommittedDialog.cancel":"Hủy","composer.footer.branchSwitch.uncommittedDialog.commit":"Lưu và chuyển nhánh","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"Những thay đổi của bạn đối với các tập tin sau sẽ bị ghi đè bởi thao tác checkout:","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"Vui lòng xác nhận các thay đổi của bạn để tiếp tục","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"nhánh đã chọn","composer.footer.branchSwitch.uncommittedDialog.title":"Lưu thay đổi để chuyển nhánh","composer.footer.branchSwitch.uncommittedSummaryPrefix":"Chưa commit: {fileCount, plural, other {# tệp}}","composer.forkSlashCommand.description":"Sao chép luồng này thành một worktree cục bộ hoặc mới","composer.forkSlashCommand.option.local.description":"Tiếp tục trên luồng cục bộ mới","composer.forkSlashCommand.option.local.title":"Sao chép vào cục bộ","composer.forkSlashCommand.option.worktree.description":"Tiếp tục trong worktree mới","composer.forkSlashCommand.option.worktree.title":"Sao chép vào worktree mới","composer.forkSlashCommand.title":"Sao chép","composer.ideContextIndicator":"Ngữ cảnh IDE","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"Bao gồm ngữ cảnh từ IDE","composer.ideContextIndicator.tooltipToggle":"để chuyển đổi","composer.ideContextSlashCommand.disableDescription":"Tắt ngữ cảnh IDE","composer.ideContextSlashCommand.enableDescription":"Bao gồm lựa chọn hiện tại, các tệp đang mở và thông tin ngữ cảnh khác từ IDE của bạn","composer.ideContextSlashCommand.title":"Ngữ cảnh IDE","composer.imageInputsUnsupported":"Mô hình này không hỗ trợ nhận hình ảnh. Hãy thử một mô hình khác.","composer.imageUploadFailed":"Không tải được hình ảnh","composer.includeIdeContextDropdown":"Bao gồm ngữ cảnh IDE","composer.includeIdeContextDropdown.ariaLabel":"Bao gồm ngữ cảnh IDE","composer.localCwdDropdown.addWorkspaceRoot":"Thêm dự án mới","composer.localCwdDropdown.noActiveRoot":"Chọn dự án của bạn","composer.localCwdDropdown.noResults":"Không tìm thấy thư mục nào","composer.localCwdDropdown.title":"Chọn dự án của bạn","composer.localTaskError":"Lỗi khi bắt đầu cuộc trò chuyện","composer.mcpSlashCommand.description":"Hiển thị trạng thái máy chủ MCP","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"Chưa được xác thực","composer.mcpStatus.authOauth":"Đã xác thực (OAuth)","composer.mcpStatus.authToken":"Đã xác thực (API key)","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"Đóng","composer.mcpStatus.disabled":"Bị vô hiệu","composer.mcpStatus.emptyLabel":"Máy chủ:","composer.mcpStatus.emptyValue":"Chưa có máy chủ MCP nào được định cấu hình","composer.mcpStatus.enabled":"Đã cho phép","composer.mcpStatus.errorLabel":"Trạng thái:","composer.mcpStatus.errorValue":"Không thể tải trạng thái MCP","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"Tác nhân","composer.mode.agentMode.auto.dropdownLabel":"Tác nhân","composer.mode.agentMode.auto.optionLabel":"Tác nhân","composer.mode.agentMode.changePermission":"Đổi chế độ","composer.mode.agentMode.custom":"Tùy chỉnh","composer.mode.agentMode.custom.dropdownLabel":"Tùy chỉnh","composer.mode.agentMode.custom.option":"Tùy chỉnh (config.toml)","composer.mode.agentMode.custom.optionLabel":"Tùy chỉnh (config.toml)","composer.mode.agentMode.customInfo.cancel":"Hủy","composer.mode.agentMode.customInfo.cli":"Bạn có thể điều chỉnh các cài đặt đó từ CLI hoặc bằng cách chỉnh sửa tệp trực tiếp.","composer.mode.agentMode.customInfo.confirm":"Sử dụng chế độ tùy chỉnh","composer.mode.agentMode.customInfo.description":"Chế độ tùy chỉnh áp dụng các chính sách về môi trường thử nghiệm và yêu cầu phê duyệt được xác định trong tệp <link>config.toml</link> của bạn.","composer.mode.agentMode.customInfo.docs":"Tìm hiểu thêm về cách cấu hình chính sách về môi trường thử nghiệm và yêu cầu phê duyệt trong <link>tài liệu môi trường thực thi</link>.","composer.mode.agentMode.customInfo.refresh":"Mọi thay đổi sẽ có hiệu lực vào lượt chạy tiếp theo của tác nhân.","composer.mode.agentMode.customInfo.title":"Cách hoạt động của chế độ tùy chỉnh","composer.mode.agentMode.fullAccess":"Tác nhân (toàn quyền truy cập)","composer.mode.agentMode.fullAccess.dropdownLabel":"Tác nhân (toàn quyền truy cập)","composer.mode.agentMode.fullAccess.optionLabel":"Tác nhân (toàn quyền truy cập)","composer.mode.agentMode.fullAccessConfirm.caution":"Hãy thận trọng khi cấp toàn quyền truy cập. Điều này làm tăng đáng kể nguy cơ mất dữ liệu, rò rỉ dữ liệu hoặc hành vi bất ngờ.","composer.mode.agentMode.fullAccessConfirm.confirm":"Có, hãy tiếp tục","composer.mode.agentMode.fullAccessConfirm.description":"Khi chạy với toàn quyền truy cập, Codex có thể chỉnh sửa bất kỳ tệp nào trên máy tính của bạn và chạy lệnh qua mạng mà không cần bạn phê duyệt.","composer.mode.agentMode.fullAccessConfirm.goBack":"Hủy","composer.mode.agentMode.fullAccessConfirm.title":"Cho phép toàn quyền truy cập?","composer.mode.agentMode.readOnly":"Đoạn chat","composer.mode.agentMode.readOnly.dropdownLabel":"Đoạn chat","composer.mode.agentMode.readOnly.optionLabel":"Đoạn chat","composer.mode.agentMode.tooltip":"Đổi chế độ","composer.mode.agentMode.tooltip.auto":"Đọc và chỉnh sửa tệp và chạy lệnh.","composer.mode.agentMode.tooltip.custom":"Sử dụng chính sách về môi trường thử nghiệm và yêu cầu phê duyệt mới nhất được xác định trong config.toml.","composer.mode.agentMode.tooltip.fullAccess":"Codex có thể chỉnh sửa các tệp bên ngoài dự án và chạy các lệnh khi có kết nối mạng. Hãy thận trọng khi sử dụng.","composer.mode.agentMode.tooltip.readOnly":"Yêu cầu phê duyệt để chỉnh sửa tệp và chạy lệnh.","composer.mode.cloud.tooltip":"Làm việc trong môi trường đám mây","composer.mode.contactAdmin":"Để có thêm quyền truy cập, hãy liên hệ với quản trị viên của bạn","composer.mode.local":"Cục bộ","composer.mode.local.learnMore":"Tìm hiểu thêm","composer.mode.local.model.custom":"Tùy chỉnh","composer.mode.local.model.loadingModel":"Đang tải mô hình","composer.mode.local.model.selecrReasoningEffort":"Chọn chế độ suy luận","composer.mode.local.model.selectModel":"Chọn mô hình","composer.mode.local.model.tooltip":"Chọn mô hình","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"Cao","composer.mode.local.reasoning.low.label":"Thấp","composer.mode.local.reasoning.medium.label":"Trung bình","composer.mode.local.reasoning.minimal.label":"Nhanh","composer.mode.local.reasoning.none.label":"Không suy luận","composer.mode.local.reasoning.xhigh.label":"Cực cao","composer.mode.localRemoteWhereRun":"Chọn nơi để chạy nhiệm vụ","composer.mode.newTask.header":"Tiếp tục sau","composer.mode.rateLimit.day":"{days} ngày","composer.mode.rateLimit.heading":"Giới hạn sử dụng còn lại","composer.mode.rateLimit.hour":"{hours} giờ","composer.mode.rateLimit.minute":"{minutes} phút","composer.mode.rateLimit.modelSectionLabel":"Giới hạn {modelName}:","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {Giới hạn {weeks} tuần}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} tuần}}","composer.mode.remote.connectToCloud":"Kết nối Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"Thiết lập môi trường qua Codex web để cho phép gửi nhiệm vụ lên đám mây","composer.mode.remote.selectEnvironment":"Chọn môi trường","composer.mode.remote.sendToCloud":"Gửi lên đám mây","composer.mode.remote.setupViaWeb":"Thiết lập môi trường thông qua Codex web","composer.mode.runInCloud":"Đám mây","composer.mode.runInCloudWithEnvironment":"Đám mây · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"Hoạt động trong môi trường đám mây","composer.mode.segmentedToggle.local.tooltip":"Làm việc trong dự án cục bộ của bạn","composer.mode.segmentedToggle.worktree.tooltip":"Hoạt động trong worktree song song","composer.mode.upgradeToPlus":"Nâng cấp lên Plus","composer.mode.upgradeToPro":"Nâng cấp lên Pro","composer.mode.workLocally":"Dự án cục bộ","composer.mode.workLocally.currentBranchFallback":"nhánh của bạn","composer.mode.workLocally.tooltip":"Làm việc trên {branchName}","composer.mode.worktree":"Worktree mới","composer.mode.worktree.submoduleWarning":"Kho lưu trữ này có các mô-đun phụ git. Quá trình tạo worktree có thể không thành công.","composer.mode.worktree.tooltip":"Tạo một bản sao của dự án cục bộ để làm việc song song","composer.mode.worktreeSegment":"Worktree","composer.modelChangeDuringConversationWarning.toast":"Việc thay đổi mô hình giữa cuộc trò chuyện sẽ làm giảm hiệu suất.","composer.newChat.heading.browser":"Chúng ta nên viết mã gì tiếp theo?","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex sử dụng quyền được quy định trong tệp config.toml.","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex có quyền truy cập đầy đủ vào máy tính của bạn (nguy cơ cao)","composer.permissionsDropdown.custom.label":"Tùy chỉnh (config.toml)","composer.permissionsDropdown.custom.optionLabel":"Tùy chỉnh (config.toml)","composer.permissionsDropdown.default.label":"Quyền mặc định","composer.permissionsDropdown.default.optionLabel":"Quyền mặc định","composer.permissionsDropdown.default.tooltip":"Codex tự động chạy các lệnh trong một môi trường thử nghiệm","composer.permissionsDropdown.disabled.requirements":"Các quyền được quy định bởi requirements.toml","composer.permissionsDropdown.fullAccess.disabled":"Khả năng truy cập toàn quyền bị vô hiệu bởi requirements.toml","composer.permissionsDropdown.fullAccess.label":"Toàn quyền truy cập","composer.permissionsDropdown.fullAccess.optionLabel":"Toàn quyền truy cập","composer.permissionsDropdown.trigger.tooltip":"Thay đổi quyền","composer.personalitySlashCommand.description.friendly":"Ấm áp, có tinh thần hợp tác và hữu ích","composer.personalitySlashCommand.description.pragmatic":"Ngắn gọn, tập trung vào nhiệm vụ và thẳng thắn","composer.personalitySlashCommand.label.friendly":"Thân thiện","composer.personalitySlashCommand.label.pragmatic":"Thực tế","composer.personalitySlashCommand.notApplicableSuffix":"(Không áp dụng cho mô hình hiện tại)","composer.personalitySlashCommand.title":"Tính cách","composer.placeholder.cloudFollowUp.directFollowUp":"Hành động tiếp theo cho nhiệm vụ đám mây này","composer.placeholder.cloudFollowUp.local":"Tạo một nhiệm vụ cục bộ mới tham chiếu đến nhiệm vụ đám mây này","composer.placeholder.cloudFollowUp.workingTree":"Tạo một nhiệm vụ đám mây mới bao gồm mã hiện tại của bạn và sẽ tham chiếu đến nhiệm vụ này","composer.placeholder.localFollowUp.cloud":"Tiếp tục trong một nhiệm vụ đám mây mới","composer.placeholder.localFollowUp.locally":"Yêu cầu thay đổi tiếp theo","composer.placeholder.newTask.cloud":"Yêu cầu Codex thực hiện bất kỳ thao tác nào trên đám mây","composer.placeholder.newTask.doAnything":"Yêu cầu Codex làm bất cứ điều gì","composer.placeholder.newTask.locally":"Hãy hỏi Codex bất cứ điều gì, dùng @ để thêm tệp, / để sử dụng lệnh.","composer.planModeDropdown":"Chế độ lập kế hoạch","composer.planModeDropdown.ariaLabel":"Chế độ lập kế hoạch","composer.planModeIndicator":"Kế hoạch","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"Tạo kế hoạch với Codex","composer.planModeIndicator.tooltipToggle":"để chuyển đổi","composer.planSlashCommand.disableDescription":"Tắt chế độ lập kế hoạch","composer.planSlashCommand.enableDescription":"Bật chế độ lập kế hoạch","composer.planSlashCommand.title":"Chế độ lập kế hoạch","composer.priorContext.label":"Bối cảnh trước đó","composer.priorContext.removeAriaLabel":"Xóa ngữ cảnh trước đó","composer.queuedMessage.delete":"Xóa tin nhắn trong hàng đợi","composer.queuedMessage.edit":"Chỉnh sửa tin nhắn","composer.queuedMessage.more":"Hành động với tin nhắn trong hàng đợi","composer.queuedMessage.sendNow":"Điều khiển","composer.queuedMessage.sendNowTooltip":"Gửi ngay mà không làm gián đoạn công việc","composer.queuedMessage.turnOff":"Tắt tính năng đưa vào hàng đợi","composer.reasoningEffort.local.reasoning.tooltip":"Chọn mức độ suy luận","composer.remote.branchStartingPoint":"Nhiệm vụ này nên bắt đầu từ nhánh nào?","composer.remote.branchesSectionHeading":"Nhánh","composer.remote.currentEditsSuffix.followUp":"Tạo một nhiệm vụ mới tham chiếu đến nhiệm vụ đám mây này.","composer.remote.currentEditsSuffix.useLocal":"với thay đổi mã cục bộ","composer.remote.directFollowUp":"Không sử dụng các thay đổi cục bộ","composer.remote.errorLoadingBranches":"Lỗi khi tải nhánh","composer.remote.fromBranch":"Từ {branch}","composer.remote.fromCurrentBranch":"Từ {branch} (hiện tại)","composer.remote.loadingMoreBranches":"Đang tải…","composer.remote.localFileStateHeading":"Trạng thái tệp cục bộ","composer.remote.localWorkingTree":"Sử dụng các thay đổi cục bộ","composer.remote.startingPoint":"Nhiệm vụ này nên bắt đầu từ mã nào?","composer.reviewMode.branches.error":"Không thể tải các nhánh","composer.reviewMode.branches.retry":"Thử lại","composer.reviewMode.gitRoot.error":"Không tìm thư mục gốc trong Git","composer.reviewMode.option.baseBranch.simple":"Đối chiếu với một nhánh gốc","composer.reviewMode.option.unstaged.simple":"Xem xét các thay đổi chưa commit","composer.reviewMode.quickReviewError":"Không thể bắt đầu xem xét mã.","composer.reviewMode.title":"Xem xét mã","composer.sandboxButton.unlock.disabled.tooltip":"Khả năng truy cập toàn quyền bị vô hiệu bởi requirements.toml","composer.sandboxButton.windowsSandboxDialog.content":"Codex sử dụng môi trường thử nghiệm trên Windows để hạn chế quyền truy cập hệ thống tệp và mạng. {sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"Kích hoạt môi trường thử nghiệm Windows?","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"Sử dụng chế độ chỉ đọc","composer.searchEnvironments":"Tìm kiếm môi trường","composer.skillMentionList.app":"Ứng dụng","composer.skillMentionList.loading":"Đang tải kỹ năng...","composer.skillMentionList.noResults":"Không tìm thấy kỹ năng nào","composer.slashCommands.cloudEnvironment.title":"Môi trường đám mây","composer.slashCommands.dialogLabel":"Menu lệnh Slash","composer.slashCommands.dialogTitle":"Lệnh Slash","composer.slashCommands.disabledTooltip":"Bắt đầu một cuộc trò chuyện mới để sử dụng lệnh Slash","composer.slashCommands.inputPlaceholder":"Tìm kiếm","composer.slashCommands.noResults":"Không có lệnh nào","composer.slashCommands.skillsGroup":"Kỹ năng","composer.slashCommands.tooltip":"Duyệt xem các lệnh Slash","composer.status.close":"Đóng","composer.statusPlain.alertLabel":"Báo động:","composer.statusPlain.alertValue":"Còn {remaining}% trên {window}","composer.statusPlain.contextLabel":"Ngữ cảnh:","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"(đã sử dụng {used}/{total})","composer.statusPlain.contextValueRemaining":"Còn lại {remaining}","composer.statusPlain.heading":"Trạng thái","composer.statusPlain.modelRateLimitSectionLabel":"Giới hạn {modelName}:","composer.statusPlain.rateLimitDays":"Giới hạn {count} ngày","composer.statusPlain.rateLimitFallbackLabel":"Giới hạn sử dụng:","composer.statusPlain.rateLimitHours":"Giới hạn {count} giờ","composer.statusPlain.rateLimitLabelBase":"Giới hạn sử dụng","composer.statusPlain.rateLimitMinutes":"Giới hạn {count} phút","composer.statusPlain.rateLimitPercent":"Còn lại {remaining}","composer.statusPlain.rateLimitReset":"đặt lại vào {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"không có thời gian đặt lại","composer.statusPlain.rateLimitUnavailable":"Không có","composer.statusPlain.sessionCopiedAriaLabel":"Đã sao chép id phiên","composer.statusPlain.sessionCopiedTooltip":"Đã sao chép ID","composer.statusPlain.sessionCopyAriaLabel":"Sao chép id phiên","composer.statusPlain.sessionCopyTooltip":"Sao chép ID","composer.statusPlain.sessionLabel":"Phiên:","composer.statusSlashCommand.description":"Hiển thị ID luồng, mức sử dụng ngữ cảnh và giới hạn sử dụng.","composer.statusSlashCommand.title":"Trạng thái","composer.submit.blockedDialogOk":"OK","composer.submit.blockedDialogTitle":"Không thể gửi tin nhắn","composer.submit.emptyMessage":"Nhập một tin nhắn để bắt đầu","composer.submit.imageInputsUnsupported":"Xóa hình ảnh hoặc chuyển đổi mô hình để gửi tin nhắn này.","composer.submit.loadingLocalConfig":"Đang tải…","composer.submit.missingCloudConfig":"Bạn phải chọn một môi trường đám mây","composer.submit.missingCloudTurn":"Không thể thực hiện hành động tiếp theo với nhiệm vụ này","composer.submit.noWorkspace":"Thêm dự án để sử dụng Codex","composer.submit.waitForImageUploads":"Đang tải hình ảnh lên…","composer.submitButtonTooltip.send":"Gửi","composer.submitButtonTooltip.stop":"Dừng lại","composer.worktreeEnvironment.create":"Tạo môi trường cục bộ","composer.worktreeEnvironment.default":"Môi trường mặc định","composer.worktreeEnvironment.error":"Lỗi khi tải môi trường","composer.worktreeEnvironment.loading":"Đang tải môi trường…","composer.worktreeEnvironment.title":"Môi trường cục bộ","composer.worktreeEnvironment.tooltip":"Chọn một môi trường cục bộ","composer.worktreeSetupFailed":"Thiết lập worktree không thành công. Hãy kiểm tra .codex/environments để tìm tập lệnh thiết lập.","compoundButton.secondaryAction":"Hành động thứ cấp","copyButton.copied":"Đã sao chép","copyButton.copiedAriaLabel":"Đã sao chép","copyButton.copy":"Sao chép","copyButton.copyAriaLabel":"Sao chép","copyButton.copyCode":"Sao chép mã","diff.actionButton.revertFile":"Khôi phục tệp","diff.actionButton.revertHunk":"Khôi phục","diff.actionButton.revertSection":"Khôi phục tất cả","diff.actionButton.revertSectionLabel":"Khôi phục tất cả","diff.actionButton.stageFile":"Đưa tệp vào môi trường thử nghiệm","diff.actionButton.stageHunk":"Thử nghiệm","diff.actionButton.stageSection":"Đưa tất cả vào môi trường thử nghiệm","diff.actionButton.stageSectionLabel":"Đưa tất cả vào môi trường thử nghiệm","diff.actionButton.unstageFile":"Gỡ tệp khỏi môi trường thử nghiệm","diff.actionButton.unstageHunk":"Gỡ khỏi môi trường thử nghiệm","diff.actionButton.unstageSection":"Gỡ tất cả khỏi môi trường thử nghiệm","diff.actionButton.unstageSectionLabel":"Gỡ tất cả khỏi môi trường thử nghiệm","diff.fileHeader.toggle":"Bật/tắt tính năng so sánh tệp","electron.onboarding.login.apikey.cancel":"Hủy","electron.onboarding.login.apikey.continue":"Tiếp tục","electron.onboarding.login.apikey.label":"Mở khóa API OpenAI","electron.onboarding.login.apikey.open":"Nhập khóa API","electron.onboarding.login.apikey.placeholder":"sk-...","electron.onboarding.login.chatgpt.cancel":"Hủy đăng nhập","electron.onboarding.login.chatgpt.continue":"Tiếp tục với ChatGPT","electron.onboarding.login.devbox":"Kết nối với SSH từ xa","electron.onboarding.login.error":"Đăng nhập không thành công: {rawMessage}","electron.onboarding.login.snake.start":"Phát Snake","electron.onboarding.login.sshConfig.cancel":"Hủy","electron.onboarding.login.sshConfig.continue":"Tiếp tục","electron.onboarding.login.sshConfig.hostnameLabel":"Tên máy chủ SSH","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"Cách tốt nhất để xây dựng với tác nhân","electron.onboarding.login.title":"Chào mừng bạn đến với Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"Tiếp tục","electron.onboarding.welcome.doubleLimits.description":"Để chào mừng dịp ra mắt ứng dụng Codex, bạn sẽ được hưởng giới hạn sử dụng cao gấp 2 lần đến hết ngày 2 tháng 4.","electron.onboarding.welcome.freego.description":"Codex sẽ đi kèm miễn phí với gói dịch vụ của bạn đến ngày 2 tháng 3 – hãy bắt đầu xây dựng cùng nhau.","electron.onboarding.welcome.new.title.anon":"Chào mừng bạn!","electron.onboarding.workspace.continue":"Tiếp tục","electron.onboarding.workspace.empty":"Thêm dự án để tiếp tục.","electron.onboarding.workspace.listLabel":"Các dự án khả dụng","electron.onboarding.workspace.loading":"Đang tải dự án...","electron.onboarding.workspace.openFolder":"Thêm dự án","electron.onboarding.workspace.selectAll":"Chọn tất cả","electron.onboarding.workspace.skip":"Bỏ qua","electron.onboarding.workspace.skip.error":"Không thể tạo dự án mới: {message}","electron.onboarding.workspace.skip.error.unknown":"Lỗi không xác định","electron.onboarding.workspace.skipping":"Đang tạo dự án mới...","electron.onboarding.workspace.subtitle":"Codex sẽ có thể chỉnh sửa tệp và chạy lệnh trong các thư mục đã chọn.","electron.onboarding.workspace.title":"Chọn dự án","errorPage.list.checkSettings":"Thử cập nhật cài đặt IDE của bạn","errorPage.list.configToml":"Kiểm tra config.toml của bạn để tìm các cài đặt không hợp lệ","errorPage.list.downloadExtension":"Thử tải xuống phiên bản khác của tiện ích mở rộng","errorPage.list.runInWsl":"Kiểm tra cài đặt của bạn để vô hiệu hóa tùy chọn chạy trong WSL nếu bạn thấy sự cố tương thích","execApprovalRequest.menu.runAlways":"Có và không hỏi lại phiên này","execApprovalRequest.menu.runAlwaysWithAmendment":"Có, và đừng hỏi lại đối với những lệnh bắt đầu bằng {command}","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"Có, và đừng hỏi lại với những lệnh bắt đầu bằng","execApprovalRequest.menu.runOnce":"Có","execApprovalRequest.prompt":"Bạn có muốn chạy lệnh này?","execApprovalRequest.reject":"Không","execFooter.exitCode":"Thoát mã {code}","execFooter.exitCode.unknown":"không xác định","execFooter.success":"Thành công","feedback.dialog.category.badResult":"Kết quả không hợp lệ","feedback.dialog.category.bug":"Lỗi","feedback.dialog.category.goodResult":"Kết quả hợp lệ","feedback.dialog.category.other":"Khác","feedback.dialog.descriptionPlaceholder":"Mô tả vấn đề ở đây","feedback.dialog.dismiss":"Bỏ qua","feedback.dialog.includeLogsLabel":"Bao gồm nhật ký phiên Codex hiện tại","feedback.dialog.submit":"Gửi","feedback.dialog.submitError":"Chúng tôi không thể gửi phản hồi của bạn. Vui lòng thử lại sau giây lát.","feedback.dialog.title":"Phản hồi","feedback.dialog.uploadedMessage.existingIssue":"vấn đề hiện vẫn đang mở","feedback.dialog.uploadedMessage.openIssue":"mở một vấn đề GitHub","feedback.dialog.uploadedMessage.withThread":"Đã tải phản hồi lên. Nếu sự cố vẫn tiếp diễn, vui lòng {openIssueLink} hoặc đề cập đến ID chủ đề trong {existingIssueLink}:","feedback.dialog.uploadedTitle":"Đã tải phản hồi lên","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"Loại bỏ {filename}","header.back":"Quay lại","header.recentChats":"Nhiệm vụ","header.recentTasks.seeAll":"Xem tất cả ({total})","home.header.getPlus":"Dùng bản Plus","home.hero.letsBuild":"Hãy cùng nhau xây dựng","homePage.mainContent":"Nội dung chính","imageAttachment.defaultName":"hình ảnh","imageAttachment.preview.close":"Đóng xem trước hình ảnh","imageAttachment.removeAriaLabel":"Loại bỏ {filename}","implementPlanRequest.option.implement":"Đúng, hãy thực thi kế hoạch này","implementPlanRequest.prompt":"Thực thi kế hoạch này?","inbox.archived.deleteError":"Không thể xóa bản ghi đã lưu trữ","inbox.archived.deleteRun":"Xóa lần chạy đã lưu trữ","inbox.archived.deleteSuccess":"Đã xóa luồng được lưu trữ. Vui lòng xem trong <settingsLink>Các luồng đã lưu trữ</settingsLink>.","inbox.archived.inlineLabel.auto":"Luồng này đã được tự động lưu trữ. <learnMoreLink>Tìm hiểu thêm</learnMoreLink>","inbox.archived.inlineLabel.manual":"Luồng này đã được lưu trữ.","inbox.archived.noMessageFound":"Không tìm thấy tin nhắn nào","inbox.automations.createError":"Không thể tạo tự động hóa","inbox.automations.deleteConfirm.cancel":"Hủy","inbox.automations.deleteConfirm.confirm":"Xóa quy trình tự động hóa","inbox.automations.deleteConfirm.description":"Thao tác này sẽ xóa vĩnh viễn quy trình tự động hóa và ngăn chặn mọi lần chạy trong tương lai.","inbox.automations.deleteConfirm.title":"Xóa {name}?","inbox.automations.deleteError":"Không thể xóa quy trình tự động hóa","inbox.automations.editTooltip":"Chỉnh sửa tùy chọn tự động hóa","inbox.automations.inProgress":"Đang tiến hành","inbox.automations.new":"Mới","inbox.automations.newToolbar":"Tùy chọn tự động hóa mới","inbox.automations.pauseTooltip":"Tạm dừng tự động hóa","inbox.automations.resumeTooltip":"Tiếp tục tự động hóa","inbox.automations.startingNow":"Bắt đầu ngay","inbox.automations.startsIn":"Bắt đầu trong {startTime}","inbox.automations.status.active":"Hoạt động","inbox.automations.status.paused":"Đã tạm dừng","inbox.automations.status.runs":"{count} lần chạy","inbox.automations.status.started":"Đã bắt đầu {date}","inbox.automations.updateError":"Không thể cập nhật quy trình tự động hóa","inbox.automations.workspaceFallback":"-","inbox.filter.all":"Tất cả","inbox.filter.ariaLabel":"Lọc mục chưa đọc trong hộp thư đến","inbox.filter.unread":"Chưa đọc","inbox.list.archived":"Đã lưu trữ","inbox.list.inProgress":"Đang tiến hành","inbox.list.recent":"Đã hoàn thành","inbox.list.upNext":"Đã lên lịch","inbox.mode.automations":"Tự động hóa","inbox.mode.automations.beta":"Beta","inbox.noDescription":"Không có nội dung mô tả nào được cung cấp","inbox.openThread":"Mở luồng","inbox.rightPanel.emptySubtitle":"Tự động hóa công việc bằng cách thiết lập các nhiệm vụ theo lịch trình.","inbox.rightPanel.emptySubtitle.learnMore":"Tự động hóa công việc bằng cách thiết lập các nhiệm vụ theo lịch trình. <link>Tìm hiểu thêm</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# quy trình tự động hóa đang hoạt động}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"Không có quy trình tự động hóa nào chưa đọc","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# quy trình tự động hóa chưa đọc}}","inbox.rightPanel.emptyTitle":"Chưa có mục nào được chọn","inbox.rightPanel.noThread":"Không có luồng nào cho mục này","inbox.rightPanel.quickStart.header":"Bắt đầu với một mẫu","inbox.untitled":"Mục không có tiêu đề trong hộp thư đến","loadingPage.documentationLink":"tài liệu","loadingPage.errorDescription":"Codex ngừng hoạt động do gặp lỗi sau:","loadingPage.errorDescription.documentation":"Nhấp vào tải lại để khởi động lại tiện ích mở rộng Codex hoặc truy cập trang web {documentationLink} của chúng tôi để được trợ giúp thêm.","loadingPage.errorSignal":"Một số bước có thể thử:","loadingPage.errorTitle":"Đã xảy ra lỗi","loadingPage.openConfigToml":"Mở Config.toml","loadingPage.reload":"Tải lại","localConversation.contextCompacted":"Ngữ cảnh được tự động nén","localConversation.contextCompacting":"Tự động nén ngữ cảnh","localConversation.forkedFromConversation":"Được sao chép từ {threadTitle}","localConversation.merge.autoResolve.failed":"Không thể yêu cầu tự động giải quyết xung đột: {error}","localConversation.merge.autoResolve.sent":"Yêu cầu tự động giải quyết xung đột đã được gửi","localConversation.merge.autoResolveMerge.missingConversation":"Không thể tự động giải quyết xung đột nếu không có cuộc trò chuyện nào đang diễn ra.","localConversation.merge.autoResolveMerge.request":"Tự động giải quyết xung đột gộp mã","localConversation.modelChanged":"Mô hình đã thay đổi từ thành {fromModel} thành {toModel}.","localConversation.modelChanged.warning.line1":"Việc thay đổi mô hình giữa cuộc trò chuyện sẽ làm giảm hiệu suất.","localConversation.modelChanged.warning.line2":"Ngữ cảnh có thể được tự động nén.","localConversation.moveThread.createBranch.label":"Tạo nhánh","localConversation.moveToLocal.disabled.loading":"Đang tải…","localConversation.moveToLocal.modal.continue":"Tiếp tục","localConversation.moveToLocal.modal.destinationLabel":"Di chuyển sang","localConversation.moveToLocal.modal.retry":"Thử lại","localConversation.moveToWorktree.modal.back":"Quay lại","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"Nhánh đã tồn tại.","localConversation.moveToWorktree.modal.branchesError":"Không thể tải các nhánh","localConversation.moveToWorktree.modal.branchesLoading":"Đang tải các nhánh...","localConversation.moveToWorktree.modal.branchesRetry":"Thử lại","localConversation.moveToWorktree.modal.continue":"Tiếp tục","localConversation.moveToWorktree.modal.retry":"Thử lại","localConversation.moveToWorktree.modal.trailingSlashError":"Tên nhánh không được kết thúc bằng dấu “/”.","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"nhánh-mới","localConversation.personalityChanged":"Đã chuyển sang tính cách {personality}","localConversation.planSummary.collapse":"Thu gọn phần tóm tắt gói","localConversation.planSummary.collapseTooltip":"Thu gọn","localConversation.planSummary.download":"Tải xuống kế hoạch","localConversation.planSummary.expand":"Mở rộng phần tóm tắt gói","localConversation.planSummary.expandTooltip":"Mở rộng","localConversation.planSummary.openInNewWindow":"Mở","localConversation.planSummary.openInNewWindow.tooltip":"Mở trong cửa sổ mới","localConversation.planSummary.title":"Kế hoạch","localConversation.planSummary.titleWriting":"Kế hoạch viết","localConversation.planSummary.viewPlan":"Mở rộng kế hoạch","localConversation.remoteTaskCreated":"Đã tạo {taskLink} trong Codex Cloud","localConversation.remoteTaskCreated.task":"nhiệm vụ","localConversation.scrollToBottomButton":"Cuộn xuống dưới cùng","localConversation.sync.buttonLabel":"Chuyển sang nhánh cục bộ","localConversation.sync.buttonLabel.tooltip":"Chuyển giao các thay đổi giữa worktree này và bản checkout cục bộ của bạn.","localConversation.sync.modal.loading.title":"Đang chuyển giao các thay đổi...","localConversation.sync.modal.noChanges":"Không có thay đổi nào","localConversation.syncSetup.branchAriaLabel":"Tên nhánh","localConversation.syncSetup.branchName":"Tên nhánh","localConversation.syncSetup.branchPlaceholder.existing":"Chọn nhánh hiện có","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"Đang tải các nhánh...","localConversation.syncSetup.checkoutAlreadyCheckedOut":"Đã chuyển nhánh sang cục bộ","localConversation.syncSetup.checkoutClean":"Hiện tại trên {branchName}","localConversation.syncSetup.checkoutDirty":"Hiện đang làm việc trong {branchName} với các thay đổi chưa commit","localConversation.syncSetup.checkoutError":"Không thể chuyển sang làm việc trong nhánh: {message}","localConversation.syncSetup.checkoutLabel":"Chuyển nhánh sang cục bộ ngay","localConversation.syncSetup.checkoutOnLocal":"Chuyển sang nhánh cục bộ","localConversation.syncSetup.checkoutPending":"Đang kiểm tra trạng thái nhánh cục bộ...","localConversation.syncSetup.checkoutUnavailable":"Không gian làm việc cục bộ không khả dụng","localConversation.syncSetup.checkoutUnknown":"Nhánh cục bộ không khả dụng","localConversation.syncSetup.continue":"Tiếp tục","localConversation.syncSetup.createBranchError":"Không thể thiết lập nhánh chuyển giao: {message}","localConversation.syncSetup.error":"Đã xảy ra lỗi: {message}","localConversation.syncSetup.error.workingTreeMissing":"Không thể chụp ảnh worktree. Vui lòng thử chuyển lại.","localConversation.syncSetup.mode.ariaLabel":"Chọn chế độ nhánh","localConversation.syncSetup.mode.existing":"Nhánh hiện có","localConversation.syncSetup.mode.new":"Nhánh mới","localConversation.syncSetup.noBranches":"Không tìm thấy nhánh","localConversation.syncSetup.overwriteError":"Nhánh đã được tạo nhưng chưa được chuyển sang hoàn toàn. Hãy tự chuyển giao các thay đổi trước khi chuyển sang một nhánh cục bộ.","localConversation.syncSetup.setPrefix":"Đặt tiền tố","localConversation.syncSetup.subtitle":"Kiểm tra và chỉnh sửa các thay đổi với worktree trong nhánh cục bộ. <a>Tìm hiểu thêm</a>","localConversation.syncSetup.success.checkedOut":"Nhánh đã được tạo và chuyển sang cục bộ","localConversation.syncSetup.success.notCheckedOut":"Đã tạo nhánh","localConversation.syncSetup.title":"Chuyển sang một nhánh cục bộ","localConversation.syncWorktreeError.branchAriaLabel":"Tên nhánh","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"Chọn một nhánh để chuyển giao, sau đó thử tải lại các thay đổi.","localConversation.syncWorktreeError.branchSetup.title":"Cập nhật nhánh","localConversation.syncWorktreeError.branchUpdate.cta":"Cập nhật và thử lại","localConversation.syncWorktreeError.branchUpdate.error":"Cập nhật nhánh không thành công: {message}","localConversation.syncWorktreeError.branchUpdate.unknown":"Đã xảy ra lỗi: {message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"Nhánh này hiện chưa được kích hoạt trong bất kỳ worktree nào.","localConversation.syncWorktreeV2.applyUncommitted":"Áp dụng","localConversation.syncWorktreeV2.applyUncommitted.disabled":"Bạn phải chuyển sang nhánh đó trong cục bộ để áp dụng các thay đổi chưa commit","localConversation.syncWorktreeV2.branches.empty":"Không tìm thấy nhánh","localConversation.syncWorktreeV2.branches.loading":"Đang tải các nhánh...","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"Thay đổi nhánh chuyển giao","localConversation.syncWorktreeV2.changeBranch.error":"Thay đổi nhánh chuyển giao không thành công: {message}","localConversation.syncWorktreeV2.commandError.action.apply":"Áp dụng không thành công","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"Ghi đè worktree không thành công","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"Ghi đè cục bộ không thành công","localConversation.syncWorktreeV2.commandError.back":"Quay lại","localConversation.syncWorktreeV2.commandError.body":"Lệnh git đã thất bại trong quá trình chuyển giao. Vui lòng xem lại kết quả đầu ra và thử lại.","localConversation.syncWorktreeV2.commandError.retry":"Thử lại","localConversation.syncWorktreeV2.description":"Chuyển giao các thay đổi giữa nhánh cục bộ và worktree này. <a>Tìm hiểu thêm</a>.","localConversation.syncWorktreeV2.direction.ariaLabel":"Chọn hướng chuyển giao","localConversation.syncWorktreeV2.error.generic":"Đã xảy ra lỗi trong quá trình chuyển giao. Vui lòng thử lại.","localConversation.syncWorktreeV2.localBranchLabel":"Cục bộ","localConversation.syncWorktreeV2.noChanges":"Đang tính toán các thay đổi","localConversation.syncWorktreeV2.noChanges.summary":"Không có thay đổi nào","localConversation.syncWorktreeV2.overwrite.local":"Ghi đè cục bộ","localConversation.syncWorktreeV2.overwrite.worktree":"Ghi đè worktree","localConversation.syncWorktreeV2.partial.action.applyFailed":"Không thể áp dụng thay đổi","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"Không thể ghi đè lên các thay đổi cục bộ","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"Không thể ghi đè lên các thay đổi trong worktree","localConversation.syncWorktreeV2.partial.appliedLabel":"Đã áp dụng","localConversation.syncWorktreeV2.partial.back":"Quay lại","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"Hãy giải quyết xung đột và thử lại.","localConversation.syncWorktreeV2.partial.conflictsLabel":"Xung đột","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# tệp}}","localConversation.syncWorktreeV2.partial.retry":"Thử lại","localConversation.syncWorktreeV2.partial.skippedLabel":"Đã bỏ qua","localConversation.syncWorktreeV2.stateFailed.generic":"Đã xảy ra lỗi khi tìm nạp các thay đổi trong worktree để chuyển giao. Vui lòng thử lại.","localConversation.syncWorktreeV2.stateFailed.title":"Không thể tải các thay đổi trong worktree","localConversation.syncWorktreeV2.statusError.diffUnknown":"Không thể tải các thay đổi trong worktree.","localConversation.syncWorktreeV2.statusError.retry":"Thử lại","localConversation.syncWorktreeV2.statusError.title":"Không thể tải các thay đổi trong nhánh cục bộ","localConversation.syncWorktreeV2.statusError.unknown":"Trạng thái nhánh hiện không khả dụng. Vui lòng thử lại.","localConversation.syncWorktreeV2.success.apply":"Đã áp dụng các thay đổi thành công","localConversation.syncWorktreeV2.success.overwrite":"Chuyển giao thành công","localConversation.syncWorktreeV2.title":"Chuyển giao các thay đổi","localConversation.syncWorktreeV2.worktreeLabel":"Worktree","localConversation.userInputRequest.inProgress":"Đang hỏi {count, plural, other {câu hỏi}}","localConversation.userInputRequest.noAnswer":"Chưa có câu trả lời nào được cung cấp","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"Đã hỏi","localConversation.userInputRequest.summary.count":"{count, plural, other {# câu hỏi}}","localConversation.workedFor":"Đã hoạt động trong {time}","localConversation.worktreeBranchSetup.action.create":"Tạo","localConversation.worktreeBranchSetup.branchAriaLabel":"Tên nhánh","localConversation.worktreeBranchSetup.branchPlaceholder.new":"Tạo một nhánh mới","localConversation.worktreeBranchSetup.checkoutDisabled":"Đã chuyển sang làm việc trong nhánh này lúc {location}","localConversation.worktreeBranchSetup.checkoutError":"Không thể chuyển sang làm việc trong nhánh: {message}","localConversation.worktreeBranchSetup.createBranchError":"Không thể thiết lập nhánh: {message}","localConversation.worktreeBranchSetup.error":"Đã xảy ra lỗi: {message}","localConversation.worktreeBranchSetup.subtitle":"Tạo một nhánh để commit các thay đổi, đẩy lên và tạo PR từ worktree này. <a>Tìm hiểu thêm</a>","localConversation.worktreeBranchSetup.title":"Làm việc ở đây","localConversationPage.addWorktreeToSidebar.tooltip":"Lưu lại dưới dạng dự án để bạn có thể bắt đầu các luồng mới từ worktree này","localConversationPage.addWorktreeToSidebarError":"Không thể thêm dự án","localConversationPage.commitAndCreatePrModal.errorTitle":"Commit và tạo PR không thành công","localConversationPage.commitAndCreatePrModal.successTitle":"Đã commit và tạo PR","localConversationPage.commitAndPushModal.errorTitle":"Commit và đẩy không thành công","localConversationPage.commitAndPushModal.successTitle":"Đã commit và đẩy các thay đổi","localConversationPage.commitCreatePr.open":"Mở đề xuất thay đổi","localConversationPage.commitCreatePr.successTitle":"Đã tạo PR với những thay đổi mới nhất của bạn.","localConversationPage.createBranchButtonLabel":"Nhánh ở đây","localConversationPage.createPrModal.baseBranch":"Gốc","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"Tạo PR","localConversationPage.createPrModal.createDescription":"Mở một đề xuất thay đổi cho những thay đổi mới nhất của bạn.","localConversationPage.createPrModal.errorTitle":"Đề xuất thay đổi không thành công","localConversationPage.createPrModal.headBranch":"Đầu","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"Mở PR","localConversationPage.createPrModal.successTitle":"Đã tạo đề xuất thay đổi","localConversationPage.createPrModal.title":"Tạo đề xuất thay đổi","localConversationPage.createPrModal.viewDescription":"Đã có đề xuất thay đổi cho nhánh này.","localConversationPage.createPrModal.viewTitle":"Đề xuất thay đổi đã sẵn sàng","localConversationPage.createPullRequestAuthGh":"Xác thực GitHub CLI: chạy lệnh `gh auth login`","localConversationPage.createPullRequestBranchMissing":"Thông tin về nhánh không có sẵn","localConversationPage.createPullRequestButtonLabel":"Tạo PR","localConversationPage.createPullRequestButtonLabel.loading":"Đang tạo PR...","localConversationPage.createPullRequestDefaultBranchMissing":"Thông tin về nhánh mặc định không có sẵn","localConversationPage.createPullRequestError":"Không tạo được đề xuất thay đổi","localConversationPage.createPullRequestExistingPullRequest":"Đã có đề xuất thay đổi cho nhánh này","localConversationPage.createPullRequestGhStatusMissing":"Đang tải trạng thái GitHub CLI…","localConversationPage.createPullRequestInstallGh":"Cài đặt GitHub CLI (gh) để tạo PR","localConversationPage.createPullRequestNoRepo":"Không tìm thấy kho lưu trữ git nào","localConversationPage.createPullRequestPushStatusMissing":"Đang tải trạng thái đẩy...","localConversationPage.createPullRequestSetUpstream":"Đẩy nhánh này trước khi tạo PR","localConversationPage.createPullRequestSuccessToast":"Đã tạo đề xuất thay đổi","localConversationPage.createPullRequestSwitchBranch":"Di chuyển một nhánh nổi bật trước khi tạo PR","localConversationPage.error.render":"Lỗi khi hiển thị cuộc trò chuyện cục bộ","localConversationPage.error.toast":"Không tìm thấy cuộc trò chuyện","localConversationPage.forcePushError":"Không thể buộc thực hiện đẩy","localConversationPage.generatePullRequestMessageError":"Không thể tạo tiêu đề và nội dung đề xuất thay đổi","localConversationPage.generatePullRequestMessageFailed":"Không thể tạo tiêu đề và nội dung đề xuất thay đổi.","localConversationPage.gitActionResult.branch":"Nhánh","localConversationPage.gitActionResult.cancel":"Hủy","localConversationPage.gitActionResult.close":"Đóng","localConversationPage.gitActionResult.tryAgain":"Thử lại","localConversationPage.gitActions":"Hành động với Git","localConversationPage.newChat":"Đoạn chat mới","localConversationPage.openInTarget":"Mở trong","localConversationPage.openPrimaryTarget":"Mở","localConversationPage.planItemsCompleted":"{completedItems}/{totalItems, plural, other {Đã hoàn tất # nhiệm vụ}}","localConversationPage.pushAuthError":"Thao tác đẩy không thành công: cần xác thực.","localConversationPage.pushBranchMissing":"Thông tin về nhánh không có sẵn","localConversationPage.pushButtonLabel":"Đẩy","localConversationPage.pushButtonLabel.loading":"Đang đẩy...","localConversationPage.pushError":"Không thể đẩy các thay đổi","localConversationPage.pushModal.branchLabel":"Nhánh","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"Hủy","localConversationPage.pushModal.confirm":"Đẩy","localConversationPage.pushModal.description":"Đẩy các lệnh commit mới nhất của bạn lên kho lưu trữ từ xa.","localConversationPage.pushModal.errorTitle":"Đẩy không thành công","localConversationPage.pushModal.forcePush":"Buộc thực hiện đẩy","localConversationPage.pushModal.successTitle":"Đẩy hoàn tất","localConversationPage.pushModal.title":"Đẩy các thay đổi","localConversationPage.pushModal.tryAgain":"Thử lại","localConversationPage.pushNoUpstream":"Thiết lập thượng nguồn trước khi đẩy nhánh này","localConversationPage.pushNoUpstreamError":"Thao tác đẩy không thành công: không có kho lưu trữ thượng nguồn nào được cấu hình.","localConversationPage.pushNothingToPush":"Không có lệnh commit mới nào để đẩy","localConversationPage.pushRemoteChangedError":"Thao tác đẩy không thành công: kho lưu trữ từ xa có các commit mới.","localConversationPage.pushRemoteRejectedError":"Yêu cầu đẩy bị kho lưu trữ từ xa từ chối","localConversationPage.pushStatusMissing":"Đang tải trạng thái đẩy...","localConversationPage.pushSuccessToast":"Đã đẩy các thay đổi","localConversationPage.viewPullRequestButtonLabel":"Xem PR","localConversationPage.viewPullRequestButtonLabel.loading":"Đang tải đề xuất thay đổi…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# tệp}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# danh sách}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# lượt tìm kiếm}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"Đang khám phá","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"Đã khám phá","localConversationTurn.exploration.accordion.header.complete.withCounts":"Đã khám phá {counts}","localConversationTurnStory.showContent":"Hiển thị nội dung","localConversationTurnStory.streamContent":"Phát trực tuyến nội dung","localConversationTurnStory.toggleReasoning":"Hiển thị suy luận","localTaskRow.archiveError":"Không thể lưu trữ cuộc trò chuyện","localTaskRow.resumeError":"Không thể tiếp tục nhiệm vụ","mermaidDiagram.ariaLabel":"Sơ đồ Mermaid","mermaidDiagram.copySource":"Sao chép mermaid","mermaidDiagram.originalCode":"Mã nguồn Mermaid","notifications.permissions.description":"Hiển thị cảnh báo khi cần quyền thông báo","notifications.permissions.label":"Bật thông báo về quyền","notifications.turnMode.always":"Luôn luôn","notifications.turnMode.description":"Đặt thời điểm Codex sẽ thông báo cho bạn khi quá trình hoàn tất","notifications.turnMode.label":"Bật thông báo khi hoàn thành","notifications.turnMode.off":"Không bao giờ","notifications.turnMode.unfocused":"Chỉ khi không tập trung","patchApprovalRequest.approve":"Phê duyệt","patchApprovalRequest.menu.allowAlways":"Có và không hỏi lại phiên này","patchApprovalRequest.menu.allowForSession":"Có và không hỏi lại phiên này","patchApprovalRequest.menu.allowOnce":"Có","patchApprovalRequest.prompt":"Bạn có muốn thực hiện các thay đổi này?","patchApprovalRequest.reject":"Không","patchApprovalRequest.waitingForApproval":"Đang chờ phê duyệt để chỉnh sửa tệp","pendingRequest.approvalExec.collapse":"Thu gọn","pendingRequest.approvalExec.expand":"Mở rộng","pendingRequestStory.toastAnswer":"Câu trả lời: {answer}","pendingRequestStory.toastApprovalTitle":"Phản hồi phê duyệt","pendingRequestStory.toastFollowupPrompt":"Câu lệnh: {prompt}","pendingRequestStory.toastFollowupTitle":"Đã gửi lời nhắc tiếp theo","pendingRequestStory.toastNoAnswers":"Không có câu trả lời nào","pendingRequestStory.toastQuestion":"Câu hỏi: {question}","pendingRequestStory.toastUnknownDecision":"Không xác định","pendingRequestStory.toastUserInputTitle":"Câu trả lời đã gửi","quickAction.request.codeReview.branches.new":"Vui lòng đối chiếu các thay đổi trên {from} với {to}","quickAction.request.codeReview.uncommitted.new":"Vui lòng xem lại những thay đổi chưa commit của tôi","reasoningItem.thinking":"Đang suy nghĩ","reasoningItem.thought":"Đã suy nghĩ","reasoningItem.thoughtWithElapsed":"Đã suy nghĩ trong {elapsed}","recentConversations.title":"Cuộc trò chuyện gần đây","recentTasks.worktreeInitFailedTitle":"Khởi tạo worktree không thành công","recentTasks.worktreeSettingUpTitle":"Đang thiết lập worktree","requestInputPanel.continue":"Tiếp tục","requestInputPanel.dismiss":"Bỏ qua","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"Gõ vào đây","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"Không, và hãy cho Codex biết phải làm gì khác đi","requestInputPanel.selectedBadge":"Đã chọn","requestInputPanel.skip":"Bỏ qua","requestInputPanel.submit":"Gửi","review.commit.ariaLabel.includeUnstaged":"Bao gồm các thay đổi chưa được thử nghiệm","review.commit.buttonLabel":"Commit","review.commit.disabled.committing":"Đang commit...","review.commit.disabled.loadingDiff":"Đang tải tệp diff…","review.commit.disabled.missingContext":"Thêm một số ngữ cảnh để tạo thông báo commit.","review.commit.disabled.noChanges":"Không có thay đổi nào để commit","review.commit.disabled.noSelection":"Chọn thay đổi để commit","review.commit.disabled.unavailable":"Hiện không thể commit","review.commit.error":"Không thể commit thay đổi","review.commit.form.changesToBeCommitted":"Thay đổi","review.commit.form.commitTo":"Nhánh","review.commit.form.commitTo.none":"-","review.commit.form.continue":"Tiếp tục","review.commit.form.title":"Commit các thay đổi của bạn","review.commit.generate.emptyResponse":"Không thể tạo thông báo commit.","review.commit.generate.failed":"Không thể tạo thông báo commit: {error}","review.commit.generate.missingPrompt":"Thêm một số ngữ cảnh để tạo tin nhắn commit.","review.commit.includeUnstaged":"Bao gồm các thay đổi chưa được thử nghiệm","review.commit.loading.description":"Hãy kiên nhẫn, quy trình này có thể mất vài phút...","review.commit.loading.step.commit.done":"Thay đổi đã commit","review.commit.loading.step.commit.pending":"Đang commit các thay đổi","review.commit.loading.step.createPr.done":"Đã tạo đề xuất thay đổi","review.commit.loading.step.createPr.pending":"Đang tạo đề xuất thay đổi","review.commit.loading.step.push.done":"Đã đẩy sang nhánh {branch}","review.commit.loading.step.push.pending":"Đang đẩy sang nhánh {branch}","review.commit.loading.title.commit":"Đang commit các thay đổi","review.commit.loading.title.createPr":"Đang tạo PR","review.commit.loading.title.push":"Đang đẩy thay đổi","review.commit.messageLabel":"Commit tin nhắn","review.commit.messagePlaceholder":"Để trống để tự động tạo thông báo commit","review.commit.nextSteps":"Các bước tiếp theo","review.commit.nextSteps.commit":"Commit","review.commit.nextSteps.commitAndCreate":"Commit và tạo PR","review.commit.nextSteps.commitAndPush":"Commit và đẩy","review.commit.nextSteps.prRequiresGh":"Yêu cầu sử dụng GitHub CLI: {command}","review.commit.rows.changes":"Thay đổi","review.commit.rows.commitCount":"{count, plural, other {# lần commit}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# lần commit}} và {stats}","review.commit.rows.fileCount":"{count, plural, other {# tệp}}","review.commit.state.error.body":"Đã xảy ra lỗi trong quá trình commit. Vui lòng kiểm tra trạng thái git của bạn và thử lại.","review.commit.state.error.title":"Commit không thành công","review.commit.state.success.title":"Đã commit các thay đổi","review.commit.untracked.loadingStats":"Đang tải số liệu thống kê so sánh chưa được theo dõi…","reviewFindingAttachments.count":"{count, plural, other {# phát hiện}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"Chỉnh sửa cấu hình của bạn để tùy chỉnh hành vi của tác nhân","settings.agent.configuration.configToml.docs":"Tài liệu","settings.agent.configuration.configToml.restartNote":"Khởi động lại Codex sau khi chỉnh sửa để áp dụng thay đổi","settings.agent.configuration.subtitle":"Các cài đặt này áp dụng cho bất cứ nơi nào Codex được sử dụng","settings.automations.banner.danger":"Các quy trình tự động hóa chạy với cài đặt môi trường thử nghiệm mặc định của bạn, hiện đang được đặt là Quyền truy cập đầy đủ. Việc chạy các quy trình tự động hóa ở nền với Quyền truy cập đầy đủ tiềm ẩn rủi ro cao, vì Codex có thể sửa đổi tệp, chạy lệnh và truy cập mạng mà không cần xin phép. Hãy cân nhắc cập nhật cài đặt môi trường thử nghiệm thành quyền ghi vào không gian làm việc và sử dụng <rulesDocsLink>quy tắc</rulesDocsLink> để chọn các lệnh mà tác nhân có thể chạy với quyền truy cập đầy đủ.","settings.automations.banner.defaultHowTo.default":"Các quy trình tự động hóa chạy với cài đặt môi trường thử nghiệm mặc định của bạn. Các lệnh gọi công cụ sẽ không thành công nếu chúng yêu cầu sửa đổi tệp bên ngoài không gian làm việc, truy cập mạng hoặc làm việc với các ứng dụng trên máy tính của bạn. Bạn có thể chọn lọc các lệnh được phép chạy bên ngoài môi trường thử nghiệm bằng cách sử dụng <rulesDocsLink>quy tắc</rulesDocsLink>.","settings.automations.banner.defaultHowTo.readOnly":"Các quy trình tự động hóa chạy với cài đặt môi trường thử nghiệm mặc định của bạn, hiện được đặt ở chế độ chỉ đọc. Các lệnh gọi công cụ sẽ không thành công nếu chúng yêu cầu sửa đổi tệp, truy cập mạng hoặc làm việc với các ứng dụng trên máy tính của bạn. Hãy cân nhắc cập nhật cài đặt môi trường thử nghiệm thành chế độ ghi vào không gian làm việc.","settings.automations.cancel":"Hủy","settings.automations.create":"Tạo","settings.automations.cwdEmpty":"Không có thư mục dự án nào khả dụng","settings.automations.cwdLabel":"Dự án","settings.automations.cwdPlaceholder":"Chọn một thư mục","settings.automations.cwdSubtitle":"Nếu muốn chạy một tác vụ tự động trên một nhánh cụ thể, bạn có thể chỉ định nhánh đó trong câu lệnh.","settings.automations.delete":"Xóa","settings.automations.dialog.editTitle":"Chỉnh sửa tùy chọn tự động hóa","settings.automations.dialog.newTitle":"Tùy chọn tự động hóa mới","settings.automations.dialog.subtitle":"Tự động hóa các nhiệm vụ định kỳ trong nền. Codex sẽ thêm kết quả vào hộp thư đến hoặc tự động lưu trữ nhiệm vụ nếu không có thông tin nào để báo cáo. <learnMoreLink>Tìm hiểu thêm</learnMoreLink>","settings.automations.dialog.title":"Tạo tùy chọn tự động hóa","settings.automations.executionCopy.git":"Các quy trình tự động hóa chạy ở nền trên các worktree chuyên dụng.","settings.automations.executionCopy.nonGit":"Các quy trình tự động hóa trong các dự án không sử dụng hệ thống kiểm soát phiên bản sẽ chạy trực tiếp trong thư mục dự án. Hãy cân nhắc sử dụng Git để cho phép chạy trong các worktree ở nền.","settings.automations.executionEnvironment.local":"Cục bộ","settings.automations.executionEnvironment.worktree":"Worktree","settings.automations.loading":"Đang tải…","settings.automations.nameLabel":"Tên","settings.automations.namePlaceholder":"Kiểm tra vấn đề sentry","settings.automations.pause":"Tạm dừng","settings.automations.promptLabel":"Câu lệnh","settings.automations.promptPlaceholder":"tìm sự cố trong $Sentry","settings.automations.resume":"Tiếp tục","settings.automations.rruleSummaryFallback":"Lịch tùy chỉnh","settings.automations.runNow":"Kiểm thử","settings.automations.save":"Lưu","settings.automations.scheduleBadge.dayCount":"{count} ngày","settings.automations.scheduleBadge.interval":"{count} giờ","settings.automations.scheduleBadge.weekdays":"Ngày trong tuần","settings.automations.scheduleBadge.weekends":"Cuối tuần","settings.automations.scheduleHeader":"Lịch","settings.automations.scheduleHours":"giờ","settings.automations.scheduleLabel":"Chạy sau mỗi","settings.automations.scheduleMode.daily":"Hằng ngày","settings.automations.scheduleMode.interval":"Khoảng","settings.automations.scheduleModeLabel":"Loại lịch trình","settings.automations.scheduleSummary.daily":"Hằng ngày lúc {time}","settings.automations.scheduleSummary.interval":"Mỗi {count} giờ","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# ngày}}","settings.automations.scheduleSummary.intervalDays":"{interval} vào {days}","settings.automations.scheduleSummary.intervalHourly":"Hàng giờ","settings.automations.scheduleSummary.singleDay":"{day} lúc {time}","settings.automations.scheduleSummary.weekdays":"Ngày trong tuần lúc {time}","settings.automations.scheduleSummary.weekdaysLabel":"ngày trong tuần","settings.automations.scheduleSummary.weekends":"Ngày trong tuần lúc {time}","settings.automations.scheduleSummary.weekendsLabel":"cuối tuần","settings.automations.scheduleSummary.weekly":"{days} lúc {time}","settings.automations.scheduleWeekdays":"Bật","settings.automations.weekdayState.excluded":"Bị loại trừ","settings.automations.weekdayState.included":"Được bao gồm","settings.conversationDetail.steps":"Bước","settings.conversationDetail.steps.description":"Ẩn các lệnh và kết quả đầu ra","settings.conversationDetail.stepsWithCommands":"Các bước thực hiện kèm theo lệnh về mã","settings.conversationDetail.stepsWithCommands.description":"Hiển thị lệnh, thu gọn kết quả đầu ra","settings.conversationDetail.stepsWithOutput":"Các bước thực hiện kèm theo kết quả về mã.","settings.conversationDetail.stepsWithOutput.description":"Hiển thị các lệnh và mở rộng kết quả đầu ra","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"Không có đoạn chat được lưu trữ.","settings.dataControls.archivedChats.error":"Không thể tải các đoạn chat được lưu trữ.","settings.dataControls.archivedChats.loading":"Đang tải các đoạn chat được lưu trữ…","settings.dataControls.archivedChats.unarchive":"Bỏ lưu trữ","settings.dataControls.archivedChats.unarchiveError":"Không thể hủy lưu trữ đoạn chat","settings.dataControls.archivedChats.unarchiveSuccess":"Bài viết đã được hủy lưu trữ. <viewNowLink>Xem ngay</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"Đã hủy lưu trữ luồng.","settings.dataControls.archivedChats.untitled":"Đoạn chat không có tiêu đề","settings.dataControls.archivedChats.viewNow":"Xem ngay bây giờ","settings.editRow.headerPlaceholder":"Mã khóa","settings.editRow.removeEntry":"Xóa mục nhập","settings.editRow.valuePlaceholder":"Giá trị","settings.general.appearance":"Giao diện","settings.general.appearance.codeFont":"Phông chữ mã","settings.general.appearance.codeFont.description":"Điều chỉnh phông chữ và kích thước được sử dụng cho mã trong các đoạn chat và bản so sánh","settings.general.appearance.codeFontFamily":"Bộ phông chữ của mã","settings.general.appearance.codeFontSize":"Kích thước phông chữ của mã","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"Dùng màu trơn cho cửa sổ sử dụng nền thay vì theo độ trong suốt của hệ thống","settings.general.appearance.opaqueWindows.label":"Sử dụng nền cửa sổ không trong suốt","settings.general.appearance.sansFontFamily":"Bộ phông chữ Sans","settings.general.appearance.sansFontFamily.description":"Điều chỉnh phông chữ được sử dụng cho giao diện người dùng Codex.","settings.general.appearance.sansFontSize":"Kích thước phông chữ Sans","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"Hiển thị hiệu ứng ăn mừng toàn màn hình trong khi GPT-5.3-Codex-Spark chạy lượt đầu tiên","settings.general.appearance.sparkCelebrationEffects.label":"Tạo hiệu ứng lễ hội","settings.general.appearance.theme":"Giao diện","settings.general.appearance.theme.dark":"Tối","settings.general.appearance.theme.description":"Sử dụng chế độ sáng, tối hoặc phù hợp với hệ thống của bạn","settings.general.appearance.theme.light":"Sáng","settings.general.appearance.theme.system":"Hệ thống","settings.general.appearance.usePointerCursors.description":"Khi di chuột qua các phần tử tương tác, con trỏ chuột sẽ chuyển thành biểu tượng mũi tên","settings.general.appearance.usePointerCursors.label":"Sử dụng con trỏ chuột","settings.general.enterBehavior.description":"Khi bật, câu lệnh nhiều dòng yêu cầu nhấn {modifierSymbol} + enter để gửi.","settings.general.enterBehavior.label":"Yêu cầu nhấn {modifierSymbol} + enter để gửi câu lệnh dài","settings.general.experimentalFeatures":"Tính năng thử nghiệm (Beta)","settings.general.experimentalFeatures.empty":"Không có tính năng thử nghiệm beta nào khả dụng.","settings.general.experimentalFeatures.loading":"Đang tải các tính năng thử nghiệm…","settings.general.experimentalFeatures.restartNote":"Khởi động lại Codex để áp dụng các thay đổi tính năng thử nghiệm","settings.general.experimentalFeatures.toggle":"Bật/tắt {featureName}","settings.general.followUpQueueMode.description":"Xếp các nhiệm vụ tiếp theo vào hàng đợi trong khi Codex đang chạy hoặc điều khiển quy trình chạy hiện tại. Nhấn {invertFollowUpShortcutLabel} để làm ngược lại với một tin nhắn.","settings.general.followUpQueueMode.interrupt":"Điều khiển","settings.general.followUpQueueMode.label":"Hành vi tiếp theo","settings.general.followUpQueueMode.queue":"Hàng đợi","settings.general.notifications":"Thông báo","settings.general.power.preventSleepWhileRunning.description":"Hãy giữ cho máy tính của bạn luôn hoạt động trong khi Codex đang chạy một luồng.","settings.general.power.preventSleepWhileRunning.label":"Ngăn vào chế độ ngủ khi đang chạy","settings.git.branchPrefix.ariaLabel":"Tiền tố nhánh","settings.git.branchPrefix.description":"Tiền tố được sử dụng khi tạo nhánh mới trong Codex","settings.git.branchPrefix.label":"Tiền tố nhánh","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"Không thể lưu tiền tố nhánh","settings.git.branchPrefix.save.success":"Đã lưu tiền tố nhánh","settings.git.commitInstructions.ariaLabel":"Hướng dẫn commit","settings.git.commitInstructions.description":"Đã thêm vào câu lệnh tạo thông báo commit","settings.git.commitInstructions.label":"Hướng dẫn commit","settings.git.commitInstructions.placeholder":"Thêm hướng dẫn về thông báo commit…","settings.git.commitInstructions.save":"Lưu","settings.git.commitInstructions.save.error":"Không thể lưu hướng dẫn commit","settings.git.commitInstructions.save.success":"Đã lưu hướng dẫn commit","settings.git.forcePush.ariaLabel":"Luôn buộc thực hiện đẩy","settings.git.forcePush.description":"Sử dụng --force-with-lease khi đẩy từ Codex","settings.git.forcePush.label":"Luôn buộc thực hiện đẩy","settings.git.forcePush.save.disabled":"Luôn buộc thực hiện đẩy đã tắt","settings.git.forcePush.save.enabled":"Luôn buộc thực hiện đẩy đã bật","settings.git.forcePush.save.error":"Không thể lưu cài đặt buộc thực hiện đẩy","settings.git.prInstructions.ariaLabel":"Hướng dẫn về đề xuất thay đổi","settings.git.prInstructions.description":"Được thêm vào phần nội dung đề xuất thay đổi được tạo bởi Codex","settings.git.prInstructions.label":"Hướng dẫn về đề xuất thay đổi","settings.git.prInstructions.placeholder":"Thêm hướng dẫn về đề xuất thay đổi…","settings.git.prInstructions.save":"Lưu","settings.git.prInstructions.save.error":"Không thể lưu hướng dẫn về đề xuất thay đổi","settings.git.prInstructions.save.success":"Đã lưu hướng dẫn về đề xuất thay đổi","settings.ide.defaultOpenTarget.description":"Nơi các tệp và thư mục mở theo mặc định","settings.ide.defaultOpenTarget.label":"Đích để mở mặc định","settings.ide.defaultOpenTarget.placeholder":"Không tìm thấy mục tiêu","settings.ide.language.auto":"Dò tìm tự động","settings.ide.language.autoOption":"Dò tìm tự động","settings.ide.language.description":"Ngôn ngữ cho giao diện người dùng ứng dụng","settings.ide.language.label":"Ngôn ngữ","settings.ide.language.search":"Tìm kiếm ngôn ngữ","settings.layout.actionButton":"Khởi động lại mở rộng","settings.layout.actionTitle":"Cài đặt với hành động","settings.layout.fullWidthTitle":"Cài đặt (Toàn bộ chiều rộng)","settings.layout.title":"Cài đặt","settings.localEnvironments.actions.add":"Thêm hành động","settings.localEnvironments.actions.add.description":"Tạo một lệnh mới để chạy từ thanh công cụ.","settings.localEnvironments.actions.add.save":"Lưu","settings.localEnvironments.actions.empty":"Thêm hành động để chạy các lệnh từ thanh công cụ.","settings.localEnvironments.actions.icon.debug":"Gỡ lỗi","settings.localEnvironments.actions.icon.run":"Chạy","settings.localEnvironments.actions.icon.test":"Kiểm thử","settings.localEnvironments.actions.icon.tool":"Công cụ","settings.localEnvironments.actions.item.button.delete":"Xóa","settings.localEnvironments.actions.item.command":"Tập lệnh hành động","settings.localEnvironments.actions.item.name":"Tên","settings.localEnvironments.actions.item.platforms":"Nền tảng","settings.localEnvironments.actions.item.platforms.help":"Chỉ chạy trên một hệ điều hành cụ thể.","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"Lựa chọn nền tảng","settings.localEnvironments.actions.item.platforms.specific":"Tùy theo nền tảng","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"Xóa","settings.localEnvironments.actions.title":"Hành động","settings.localEnvironments.breadcrumb.back":"Quay lại","settings.localEnvironments.breadcrumb.edit":"chỉnh sửa","settings.localEnvironments.breadcrumb.root":"Môi trường","settings.localEnvironments.environment.actions.description":"Các hành động này có thể chạy bất kỳ lệnh nào và sẽ được hiển thị trong tiêu đề.","settings.localEnvironments.environment.actionsLabel":"Hành động","settings.localEnvironments.environment.create":"Tạo môi trường cục bộ","settings.localEnvironments.environment.defaultName":"cục bộ","settings.localEnvironments.environment.edit":"Chỉnh sửa môi trường cục bộ","settings.localEnvironments.environment.empty":"Chưa có môi trường cục bộ nào được định cấu hình cho dự án này.","settings.localEnvironments.environment.name":"Tên","settings.localEnvironments.environment.setup":"Tập lệnh thiết lập","settings.localEnvironments.environment.setup.description":"Tập lệnh này sẽ chạy khi tạo worktree.","settings.localEnvironments.environment.setup.hint":"Chạy trong thư mục gốc của dự án.","settings.localEnvironments.environment.setup.platformOverrides":"Ghi đè nền tảng","settings.localEnvironments.environment.setup.platformOverrides.add":"Thêm tập lệnh thiết lập {platform}","settings.localEnvironments.environment.setup.platformOverrides.description":"Ghi đè tập lệnh mặc định cho các hệ điều hành cụ thể.","settings.localEnvironments.environment.setup.platformOverrides.remove":"Xóa","settings.localEnvironments.environment.setup.script":"Tập lệnh","settings.localEnvironments.environment.title":"Chi tiết môi trường","settings.localEnvironments.file.missing":"Lưu để tạo tệp này lần đầu.","settings.localEnvironments.file.parseError":"Không thể phân tích cú pháp tệp hiện có. Thao tác lưu sẽ ghi đè tệp. ({error})","settings.localEnvironments.file.path":"Tệp: {path}","settings.localEnvironments.file.readError":"Không thể tải dữ liệu môi trường cục bộ. ({error})","settings.localEnvironments.file.title":"Tệp môi trường cục bộ","settings.localEnvironments.loading.body":"Đang tìm nạp cấu hình dự án của bạn.","settings.localEnvironments.loading.title":"Đang tải môi trường cục bộ","settings.localEnvironments.preview.devOnly":"(Chỉ môi trường NHÀ PHÁT TRIỂN)","settings.localEnvironments.preview.save":"Lưu","settings.localEnvironments.preview.saveError":"Không thể lưu tệp. ({error})","settings.localEnvironments.preview.title":"Xem trước","settings.localEnvironments.save.disabled.name":"Thêm tên môi trường để lưu.","settings.localEnvironments.save.disabled.noChanges":"Không có thay đổi nào để lưu.","settings.localEnvironments.save.disabled.saving":"Đang lưu...","settings.localEnvironments.save.success":"Đã lưu môi trường cục bộ","settings.localEnvironments.unavailable.body":"Chúng tôi không thể tải cài đặt môi trường cục bộ cho dự án này.","settings.localEnvironments.unavailable.title":"Môi trường cục bộ không khả dụng.","settings.localEnvironments.workspace.add":"Thêm dự án","settings.localEnvironments.workspace.title":"Dự án","settings.localEnvironments.workspaceSelect.addLabel":"Thêm môi trường","settings.localEnvironments.workspaceSelect.description":"Môi trường cục bộ cho Codex biết cách thiết lập worktree cho một dự án. {learnMore}","settings.localEnvironments.workspaceSelect.empty":"Chưa có dự án nào. Hãy thêm một dự án để cấu hình môi trường cục bộ.","settings.localEnvironments.workspaceSelect.errorLabel":"Môi trường cần chú ý","settings.localEnvironments.workspaceSelect.learnMore":"Tìm hiểu thêm","settings.localEnvironments.workspaceSelect.listLabel":"Các dự án khả dụng","settings.localEnvironments.workspaceSelect.loading":"Đang tải dự án.","settings.localEnvironments.workspaceSelect.loadingLabel":"Đang tải môi trường","settings.localEnvironments.workspaceSelect.title":"Chọn dự án","settings.localEnvironments.workspaceSelect.viewAction":"Xem","settings.mcp.addServer":"Thêm máy chủ","settings.mcp.app.configure":"Định cấu hình","settings.mcp.app.connect":"Kết nối","settings.mcp.apps.refresh":"Làm mới","settings.mcp.detail.addArgument":"Thêm đối số","settings.mcp.detail.addEnvVar":"Thêm biến môi trường","settings.mcp.detail.addEnvVarPassthrough":"Thêm biến","settings.mcp.detail.args":"Đối số","settings.mcp.detail.back":"Quay lại","settings.mcp.detail.command":"Lệnh cần khởi chạy","settings.mcp.detail.cwd":"Thư mục làm việc","settings.mcp.detail.docs":"Mở tài liệu MCP","settings.mcp.detail.docs.link":"Tài liệu","settings.mcp.detail.envVarPassthrough":"Truyền qua biến môi trường","settings.mcp.detail.envVars":"Các biến môi trường","settings.mcp.detail.http.addEnvHeader":"Thêm biến","settings.mcp.detail.http.addHeader":"Thêm tiêu đề","settings.mcp.detail.http.bearerToken":"Biến môi trường token xác thực","settings.mcp.detail.http.envHeaders":"Tiêu đề từ các biến môi trường","settings.mcp.detail.http.headers":"Tiêu đề","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"Tên","settings.mcp.detail.save":"Lưu","settings.mcp.detail.switchTransportNotice":"Nếu bạn muốn chuyển đổi loại máy chủ MCP, vui lòng gỡ cài đặt trước.","settings.mcp.detail.titleExisting":"Cập nhật {name} MCP","settings.mcp.detail.titleNew":"Kết nối với MCP tùy chỉnh","settings.mcp.detail.transport.http":"HTTP có thể truyền phát","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"Gỡ cài đặt","settings.mcp.empty":"Không có máy chủ MCP tùy chỉnh nào được kết nối","settings.mcp.myServers":"Máy chủ tùy chỉnh","settings.mcp.partnerServer.description.figma":"Tạo ra mã tốt hơn bằng cách tận dụng toàn bộ ngữ cảnh Figma.","settings.mcp.partnerServer.description.github":"Tích hợp với các API GitHub để tự động hóa quy trình làm việc và trích xuất dữ liệu.","settings.mcp.partnerServer.description.linear":"Tích hợp với hệ thống theo dõi sự cố và quản lý dự án của Linear.","settings.mcp.partnerServer.description.notion":"Đọc tài liệu, cập nhật trang, quản lý nhiệm vụ","settings.mcp.partnerServer.description.playwright":"Tích hợp tính năng tự động hóa trình duyệt để triển khai thiết kế và kiểm thử giao diện người dùng.","settings.mcp.partnerServer.install":"Cài đặt","settings.mcp.partnerServer.installAndAuthenticate":"Cài đặt và xác thực","settings.mcp.partnerServer.logoAlt":"Logo {label}","settings.mcp.partnerServer.manage":"Quản lý","settings.mcp.partnerServer.vendor":"bởi {vendor}","settings.mcp.recommendedServers":"Các máy chủ được đề xuất","settings.mcp.restartApp":"Khởi động lại","settings.mcp.restartExtension":"Khởi động lại mở rộng","settings.mcp.server.enable":"Cho phép","settings.mcp.server.login":"Xác thực","settings.mcp.server.settings":"Cài đặt","settings.multiselect.createOption":"Tạo “{value}”","settings.multiselect.removeOption":"Xóa","settings.nav.account":"Tài khoản","settings.nav.agent":"Cấu hình","settings.nav.ariaLabel":"Cài đặt","settings.nav.back":"Quay lại ứng dụng","settings.nav.data-controls":"Các luồng đã được lưu trữ","settings.nav.environments":"Môi trường đám mây","settings.nav.externalTooltip":"[alpha] Mở trong trình duyệt","settings.nav.general-settings":"Chung","settings.nav.git-settings":"Git","settings.nav.local-environments":"Môi trường","settings.nav.mcp-settings":"Máy chủ MCP","settings.nav.notImplemented":"[alpha] Không có sẵn trong Alpha","settings.nav.personalization":"Cá nhân hóa","settings.nav.skills-settings":"Kỹ năng","settings.nav.usage-analytics":"Sử dụng & Phân tích","settings.nav.worktrees":"Worktree","settings.openSourceLicenses.back":"Quay lại","settings.openSourceLicenses.loading":"Đang tải…","settings.openSourceLicenses.missing":"Không tìm thấy thông báo từ bên thứ ba.","settings.openSourceLicenses.notSupported":"Không khả dụng trên máy chủ này.","settings.openSourceLicenses.rowDescription":"Thông báo bên thứ ba cho các yếu tố phụ thuộc được đóng gói kèm","settings.openSourceLicenses.rowLabel":"Giấy phép nguồn mở","settings.openSourceLicenses.subtitle":"Thông báo bên thứ ba cho các yếu tố phụ thuộc được tích hợp trong ứng dụng này","settings.openSourceLicenses.title":"Giấy phép nguồn mở","settings.openSourceLicenses.view":"Xem","settings.personalization.agents.description":"Chỉnh sửa hướng dẫn tùy chỉnh Codex cho phù hợp với bạn. {learnMore}","settings.personalization.agents.learnMore":"Tìm hiểu thêm","settings.personalization.agents.loadError":"Không thể tải agents.md.","settings.personalization.agents.loading":"Đang tải agents.md…","settings.personalization.agents.placeholder":"Thêm hướng dẫn tùy chỉnh của bạn…","settings.personalization.agents.retry":"Thử lại","settings.personalization.agents.save":"Lưu","settings.personalization.agents.save.error":"Không thể lưu agents.md","settings.personalization.agents.save.success":"Đã lưu agents.md","settings.personalization.agents.title":"Hướng dẫn tùy chỉnh","settings.personalization.personality.description":"Chọn một giọng điệu mặc định cho các phản hồi của Codex","settings.personalization.personality.label":"Tính cách","settings.sample.contentBody":"Sử dụng bố cục này để sắp xếp các bảng cài đặt của bạn với khoảng cách nhất quán.","settings.sample.contentTitle":"Khối nội dung mẫu","settings.section.account":"Tài khoản","settings.section.agent":"Cấu hình","settings.section.data-controls":"Các luồng đã được lưu trữ","settings.section.environments":"Môi trường đám mây","settings.section.external":"Mở trong trình duyệt của bạn trong phiên bản Alpha","settings.section.general-settings":"Chung","settings.section.git-settings":"Git","settings.section.local-environments":"Môi trường","settings.section.mcp-settings":"Máy chủ MCP","settings.section.mcp-settings.docs":"Tài liệu","settings.section.mcp-settings.subtitle":"Kết nối các công cụ và nguồn dữ liệu bên ngoài.","settings.section.personalization":"Cá nhân hóa","settings.section.skills-settings":"Kỹ năng","settings.section.unavailable":"Hiện chưa có trong phiên bản Alpha","settings.section.usage-analytics":"Sử dụng & Phân tích","settings.section.worktrees":"Worktree","settings.threadDetail.description":"Chọn mức độ hiển thị kết quả đầu ra của lệnh trong các luồng","settings.threadDetail.label":"Chi tiết luồng","settings.worktrees.conversation.untitled":"Cuộc trò chuyện không tiêu đề","settings.worktrees.delete.error":"Không thể xóa worktree","settings.worktrees.empty.body":"Các worktree được tạo bởi Codex sẽ xuất hiện ở đây.","settings.worktrees.empty.title":"Chưa có worktree nào","settings.worktrees.error.body":"Đã xảy ra lỗi trong quá trình tải worktree.","settings.worktrees.error.retry":"Thử lại","settings.worktrees.error.title":"Không thể tải worktree","settings.worktrees.loading.body":"Đang tải thông tin chi tiết về worktree.","settings.worktrees.loading.title":"Đang tải worktree","settings.worktrees.repository.loading":"Đang tải siêu dữ liệu kho lưu trữ…","settings.worktrees.repository.unknown":"Kho lưu trữ không xác định","settings.worktrees.row.conversations":"Cuộc trò chuyện","settings.worktrees.row.conversations.empty":"Không có cuộc trò chuyện nào liên kết với worktree này.","settings.worktrees.row.conversations.loading":"Đang tải cuộc trò chuyện...","settings.worktrees.row.delete":"Xóa","settings.worktrees.row.title":"Worktree","sidebarElectron.addWorkspaceRoot":"Thêm dự án mới","sidebarElectron.archiveThread":"Lưu trữ chủ đề","sidebarElectron.archiveThreadError":"Không lưu trữ được chủ đề","sidebarElectron.collapseFolder":"Thu gọn thư mục","sidebarElectron.createStableWorktree.dialog.cancel":"Hủy","sidebarElectron.createStableWorktree.dialog.create":"Tạo","sidebarElectron.debugNavLink":"Gỡ lỗi","sidebarElectron.editWorkspaceRootOptionName":"Chỉnh sửa tên","sidebarElectron.expandFolder":"Mở rộng thư mục","sidebarElectron.groupByMenu.recency":"Danh sách theo thứ tự thời gian","sidebarElectron.groupByMenu.title":"Sắp xếp","sidebarElectron.groupByMenu.workspace":"Theo dự án","sidebarElectron.inboxRouteNavLink":"Tự động hóa","sidebarElectron.markThreadUnread":"Đánh dấu là chưa đọc","sidebarElectron.missingWorkspaceRoot":"Thư mục dự án này đã bị xóa hoặc di chuyển","sidebarElectron.newThread":"Chủ đề mới","sidebarElectron.newThreadInGroup":"Bắt đầu chủ đề mới trong {folder}","sidebarElectron.noRecentThreads":"Không có luồng nào gần đây","sidebarElectron.noTasks":"Không có luồng nào","sidebarElectron.noTasks.start":"Thêm một dự án mới","sidebarElectron.noTasksWithFilter":"Không có luồng nào khớp với bộ lọc","sidebarElectron.pinnedThreads":"Các luồng được ghim","sidebarElectron.recentNavLink":"Luồng","sidebarElectron.recentThreads":"Các luồng gần đây","sidebarElectron.removeWorkspaceRootOption":"Xóa","sidebarElectron.renameThread":"Đổi tên luồng","sidebarElectron.renameThreadDialogAriaLabel":"Tiêu đề luồng","sidebarElectron.renameThreadDialogCancel":"Hủy","sidebarElectron.renameThreadDialogPlaceholder":"Thêm tiêu đề…","sidebarElectron.renameThreadDialogSave":"Lưu","sidebarElectron.renameThreadDialogSubtitle":"Đặt tiêu đề ngắn gọn và dễ nhận biết.","sidebarElectron.renameThreadDialogTitle":"Đổi tên luồng","sidebarElectron.renameThreadError":"Đổi tên luồng không thành công","sidebarElectron.renameWorkspaceRootOptionLabel":"Tên hiển thị","sidebarElectron.showLess":"Ẩn bớt","sidebarElectron.showMenu.all":"Tất cả luồng","sidebarElectron.showMenu.relevant":"Có liên quan","sidebarElectron.showMenu.relevantHint":"Chỉ hiển thị các chuỗi gần đây cho nhánh hiện tại, cây công việc hoặc các luồng khác cần bạn chú ý","sidebarElectron.showMenu.title":"Hiển thị","sidebarElectron.showMenu.tooltip":"Lọc, sắp xếp và tổ chức các cuộc trò chuyện","sidebarElectron.showMenu.trigger":"Lọc các luồng thanh bên","sidebarElectron.showMore":"Hiển thị thêm","sidebarElectron.skillsRouteNavLink":"Kỹ năng","sidebarElectron.sortMenu.created":"Đã tạo","sidebarElectron.sortMenu.title":"Sắp xếp theo","sidebarElectron.sortMenu.updated":"Đã cập nhật","sidebarElectron.taskNavigation":"Thư mục tự động hóa","sidebarElectron.tasksInFolder":"Tự động hóa sau {folder}","sidebarElectron.workspaceOptions":"Các hành động của dự án cho {folder}","sidebarElectron.worktreeGroupTooltip":"Đây là git worktree","skills.appsPage.createSkill":"Kỹ năng mới","skills.appsPage.empty.skills":"Không tìm thấy kỹ năng nào","skills.appsPage.search.skills":"Tìm kiếm kỹ năng","skills.appsPage.search.skills.label":"Tìm kiếm kỹ năng","skills.appsPage.section.installedApps":"Đã cài đặt","skills.appsPage.section.skills":"Kỹ năng","skills.appsPage.subheading":"Nâng cao năng lực cho Codex. <link>Tìm hiểu thêm</link>","skills.appsPage.tab.recommended":"Được đề xuất","skills.appsPage.tab.skills":"Kỹ năng","skills.card.contentsError":"Không thể tải nội dung kỹ năng.","skills.card.disable":"Vô hiệu","skills.card.disableSuccess":"Kỹ năng {skillName} đã tắt","skills.card.disabledBadge":"Bị vô hiệu","skills.card.enable":"Cho phép","skills.card.enableSuccess":"Kỹ năng {skillName} đã bật","skills.card.loadingContents":"Đang tải nội dung kỹ năng...","skills.card.more":"Hành động khác","skills.card.open":"Mở","skills.card.removeFailed":"Không thể gỡ cài đặt kỹ năng","skills.card.removeSuccess":"Kỹ năng {skillName} đã bị gỡ cài đặt","skills.card.toggleEnabledError":"Không thể cập nhật kỹ năng","skills.card.try":"Thử","skills.card.trySkill":"Dùng thử kỹ năng","skills.card.uninstall":"Gỡ cài đặt","skills.hero.dotLabel":"Chuyển đến slide {index}","skills.hero.next":"Kỹ năng nổi bật tiếp theo","skills.hero.trySkill":"Dùng thử kỹ năng","skills.page.createSkill":"Kỹ năng mới","skills.page.empty":"Không tìm thấy kỹ năng nào","skills.page.filteredEmpty":"Không có kỹ năng nào khớp với các bộ lọc của bạn","skills.page.filteredEmptyDescription":"Thử điều chỉnh nội dung tìm kiếm hoặc điều chỉnh phạm vi bộ lọc","skills.page.heading":"Kỹ năng","skills.page.loading":"Đang tải kỹ năng...","skills.page.refreshSkills":"Làm mới","skills.page.refreshSkillsToUseNew":"Làm mới trang để sử dụng (các) kỹ năng mới","skills.page.search":"Tìm kiếm kỹ năng","skills.page.search.label":"Tìm kiếm kỹ năng","skills.page.subheading":"Nâng cao năng lực cho Codex. <link>Tìm hiểu thêm</link>","skills.preview.copyPrompt":"Sao chép lời nhắc","skills.preview.examplePrompt":"Lời nhắc ví dụ","skills.recommended.error":"Không thể tải các kỹ năng được đề xuất","skills.recommended.install":"Cài đặt","skills.recommended.installSkill":"Cài đặt kỹ năng","skills.recommended.installSuccess":"Kỹ năng {skillName} đã được cài đặt","skills.recommended.installed":"Đã cài đặt","skills.scope.admin":"Quản trị viên","skills.scope.adminInstalled":"Do quản trị viên cài đặt","skills.scope.builtIn":"Hệ thống","skills.scope.personal":"Cá nhân","skills.scope.repo":"Kho lưu trữ","skills.scope.system":"Hệ thống","skills.scope.team":"Nhóm","skills.scope.user":"Người dùng","skills.section.installed":"Đã cài đặt","skills.section.recommended":"Được đề xuất","story.slidingToggle.existing":"Hiện có","story.slidingToggle.fromLocal":"Từ cục bộ","story.slidingToggle.new":"Mới","story.slidingToggle.toLocal":"Đến cục bộ","terminal.close":"Đóng thiết bị đầu cuối","terminal.title":"Thiết bị đầu cuối","thinkingShimmer.default":"Đang suy nghĩ","threadEnvIcon.cloudTooltip":"Cuộc trò chuyện này đang diễn ra trên Codex Cloud.","threadEnvIcon.localTooltip":"Cuộc trò chuyện này đang diễn ra cục bộ.","threadEnvIcon.worktreeTooltip":"Cuộc trò chuyện này đang diễn ra trong một worktree git cục bộ.","threadHeader.archiveConfirmCancel":"Hủy","threadHeader.archiveConfirmConfirm":"Lưu trữ","threadHeader.archiveConfirmSubtitle":"Bạn có thể tìm lại sau trong các luồng được lưu trữ của bạn.","threadHeader.archiveConfirmTitle":"Lưu trữ luồng?","threadHeader.copyAppLink":"Sao chép liên kết sâu","threadHeader.copySessionId":"Sao chép ID phiên","threadHeader.copyWorkingDirectory":"Sao chép thư mục làm việc","threadHeader.forkIntoLocal":"Sao chép vào cục bộ","threadHeader.forkIntoWorktree":"Sao chép vào worktree mới","threadHeader.forkPendingWorktreePrompt":"Sao chép cuộc trò chuyện này vào worktree mới","threadHeader.forkPendingWorktreeTitle":"Cuộc trò chuyện được sao chép","threadHeader.forkThreadError":"Sao chép luồng không thành công","threadHeader.forkThreadRequiresGitRepo":"Để sao chép vào worktree mới, cần có kho lưu trữ git","threadHeader.moreActions":"Thao tác với luồng","threadPage.newThread":"Chủ đề mới","threadPage.runAction.changeEnvironment":"Thay đổi môi trường","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} hành động","threadPage.runAction.environmentSelector.label":"Chọn môi trường","threadPage.runAction.label":"Chạy","threadPage.runAction.missing.label":"Thiết lập một hành động chạy","threadPage.runAction.setup.commandLabel":"Lệnh cần chạy","threadPage.runAction.setup.description":"Chỉ dẫn Codex cách cài đặt các mục phụ thuộc và khởi động ứng dụng của bạn.","threadPage.runAction.setup.editMore":"Cài đặt môi trường","threadPage.runAction.setup.placeholder":"ví dụ: npm install npm run","threadPage.runAction.setup.submit":"Lưu và chạy","threadPage.runAction.setup.title":"Chạy","threadPage.runAction.tooltip.withEnvironment":"{environmentName} hành động","threadPage.toggleDiffPanel":"Bật/tắt bảng điều khiển tệp diff","threadPage.toggleTerminal":"Chuyển đổi thiết bị đầu cuối","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"Mở thư mục","toolSummaryForCmd.exploredFiles":"<verb>Đã liệt kê</verb> các tệp","toolSummaryForCmd.exploredFilesInPath":"<verb>Đã liệt kê</verb> các tệp trong {path}","toolSummaryForCmd.exploringFiles":"<verb>Đang liệt kê</verb> các tệp","toolSummaryForCmd.exploringFilesInPath":"<verb>Đang liệt kê</verb> các tệp trong {path}","toolSummaryForCmd.ranGenericCommand":"<status>Đã chạy lệnh</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>Đã chạy</status> {command}{timer}","toolSummaryForCmd.read":"<verb>Đọc</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>Đang chạy lệnh</status>{timer}","toolSummaryForCmd.runningTimer":"dành cho {elapsed}","toolSummaryForCmd.searchedFor":"<verb>Đã tìm kiếm</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>Đã tìm kiếm</verb> tệp","toolSummaryForCmd.searchedForInPath":"<verb>Đã tìm kiếm</verb> {query} trong {path}","toolSummaryForCmd.searchingFor":"<verb>Đang tìm kiếm</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>Đang tìm kiếm</verb> tệp","toolSummaryForCmd.searchingForInPath":"<verb>Đang tìm kiếm</verb> {query} trong {path}","traceRecording.details.noteLabel":"Bạn đang làm gì khi điều này xảy ra? (không bắt buộc)","traceRecording.details.notePlaceholder":"Đã điều hướng đến một luồng lớn, sau đó liên tục chuyển đổi giữa các tab…","traceRecording.details.submit":"Gửi bản ghi theo dõi","traceRecording.details.subtitle":"Chúng tôi có thể gửi bản ghi theo dõi hồ sơ này để giúp chẩn đoán các vấn đề về hiệu suất.","traceRecording.details.title":"Gửi bản ghi theo dõi hồ sơ?","traceRecording.progress.subtitle":"Để Codex mở trong khi hoàn thành quy trình này.","traceRecording.saving.title":"Đang lưu bản ghi theo dõi…","traceRecording.startDetails.cancel":"Hủy","traceRecording.startDetails.submit":"Ok, hãy bắt đầu ghi","traceRecording.startDetails.subtitle":"Sau khi bạn nhấp vào OK, hãy tái hiện sự cố hiệu suất, sau đó nhấp vào chỉ báo màu đỏ nổi để dừng và xem lại bản ghi theo dõi.","traceRecording.startDetails.title":"Cách hệ thống ghi bản theo dõi hồ sơ hoạt động","traceRecording.stopButton.ariaLabel":"Dừng ghi bản theo dõi hồ sơ","traceRecording.upload.successToast":"Đã gửi bản ghi theo dõi hồ sơ.","traceRecording.uploading.title":"Đang cập nhật bản ghi theo dõi…","wham.diff.addComment":"Thêm bình luận","wham.diff.binaryFile":"Tệp nhị phân không được hiển thị","wham.diff.noContent":"Không có nội dung","wham.fileTag.deleted":"Đã xóa","wham.fileTag.new":"Mới","wham.formattedRelativeDateTime.compactDaysAgo":"{value} ngày","wham.formattedRelativeDateTime.compactHoursAgo":"{value} giờ","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} phút","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} tháng","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} tuần","wham.formattedRelativeDateTime.compactYearsAgo":"{value} năm","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"Đang xử lý nhiệm vụ của bạn","wham.whamProposedTask.title":"Nhiệm vụ được đề xuất","wham.whamProposedTask.useSuggestion":"Sử dụng đề xuất","workspaceRootDialog.addError":"Không thể thêm dự án","workspaceRootDialog.cancel":"Hủy","workspaceRootDialog.confirmAdd":"Thêm dự án","workspaceRootDialog.confirmPick":"Sử dụng dự án","workspaceRootDialog.description":"Nhập đường dẫn trên {host} để sử dụng làm dự án.","workspaceRootDialog.pathLabel":"Đường dẫn dự án","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"Thêm đường dẫn dự án","workspaceRootDialog.title.pick":"Chọn đường dẫn dự án","worktreeInitV2.cancel":"Hủy","worktreeInitV2.notification.failedTitle":"Thiết lập worktree không thành công.","worktreeInitV2.output.empty":"Đang chờ kết quả đầu ra...","worktreeInitV2.status.error":"Thiết lập cây việc làm không thành công.","worktreeInitV2.status.running":"Đang tạo cây việc làm và chạy quy trình thiết lập.","worktreeInitV2.status.runningFork":"Đang tạo worktree để sao chép cuộc trò chuyện này","worktreeInitV2.status.success":"Cây việc làm đã sẵn sàng","worktreeInitV2.title":"Đang tạo worktree","worktreeInitV2.workLocallyInstead":"Làm việc trong cục bộ thay vì","worktreeRestoreBanner.body":"Worktree của chủ đề này đã bị xóa để tiết kiệm dung lượng ổ đĩa","worktreeRestoreBanner.missing.body":"Thư mục làm việc của luồng này không còn tồn tại","worktreeRestoreBanner.missing.title":"Thư mục làm việc hiện tại bị thiếu","worktreeRestoreBanner.restore.error":"Khôi phục worktree thất bại: {message}","worktreeRestoreBanner.restore.success":"Đã khôi phục worktree","worktreeRestoreBanner.restoreCta":"Khôi phục worktree","worktreeRestoreBanner.title":"Đã dọn dẹp worktree"};Object.assign(e,globalThis.codexI18nOverrides?.["vi-VN"]);export{e as default};
 //# sourceMappingURL=vi-VN-CyHQfP2Y.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"复制","app.sidebar.hide":"隐藏边栏","app.sidebar.show":"显示边栏","app.sidebar.tooltip":"切换边栏","appHeader.installUpdate":"更新","appSunset.body":"此版本应用已停止支持。请在<here>此处</here>下载最新版本。","appSunset.title":"要求更新","automation.updateDirective.create":"创建","automation.updateDirective.open":"打开","automation.updateDirective.untitled":"无标题自动化","automation.updateDirective.update":"更新","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# 次尝试}}","cloudTaskRow.archiveError":"归档任务失败","code.diff.requestChange":"请求更改","code.diffComment.cancel":"取消","code.diffComment.comment":"注释","code.diffComment.delete":"删除","code.diffComment.save":"保存","codeReviewAssistant.location":"{file}：{start}-{end}","codeReviewAssistant.noFindings":"未报告任何结果。","codex.alert.closeAriaLabel":"关闭","codex.appUpsellBanner.cbpApi.message":"用 Codex 应用加速构建，立即下载或{learnMoreLink}。","codex.appUpsellBanner.download":"下载","codex.appUpsellBanner.freeGo.message":"Codex 已包含在你的套餐中（有效期至 3 月 2 日）。试用 Codex 应用以加速开发。","codex.appUpsellBanner.later":"稍后","codex.appUpsellBanner.learnMoreLowercase":"了解更多","codex.appUpsellBanner.new":"新","codex.appUpsellBanner.proPlusBusiness.message":"在 4 月 2 日前试用 Codex 应用，享受 2 倍额度，立即下载或{learnMoreLink}。","codex.appUpsellBanner.title":"Codex 应用","codex.applyDropdown.header.changes":"更改","codex.applyDropdown.header.fileCount":"{count, plural, other {# 个文件}}","codex.applyDropdown.header.rows":"行","codex.applyDropdown.header.title":"应用更改","codex.applyDropdown.header.workspace":"项目","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} 个文件存在冲突：}}","codex.applyDropdown.results.empty":"未复制任何文件","codex.applyDropdown.results.skipped":"{count, plural, other {{count} 个文件已跳过：}}","codex.applyOrRevertBanner.apply":"应用","codex.applyOrRevertBanner.applyMessage":"是否应用更改并在本地继续？​","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"此任务创建于{environment}，可能无法直接应用​。","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"这些更改在{environment}中执行，可能无法直接应用​。","codex.applyOrRevertBanner.reapply":"重新应用","codex.applyOrRevertBanner.revert":"还原","codex.applyOrRevertBanner.revertMessage":"还原应用的更改？","codex.applyResultsDialog.applied":"已直接应用（{count} 个）","codex.applyResultsDialog.close":"关闭","codex.applyResultsDialog.conflicted":"存在冲突（{count} 个）","codex.applyResultsDialog.noDetails":"无可用的文件详细信息。","codex.applyResultsDialog.skipped":"已跳过（{count} 个）","codex.applyResultsDialog.title":"应用结果","codex.archiveInfo":"查看已归档的聊天：{dataControlsLink}。","codex.archiveInfo.dataControlsLink":"数据控制","codex.archiveInfo.electron":"查看已归档的聊天：{settingsLink}","codex.archiveInfo.extension":"在你的 .codex 文件夹中查看已归档的聊天。","codex.archiveInfo.settingsLink":"设置","codex.banner.content.description":"并行执行任务、全平台跟踪进度并通过 AI 审查拉取请求。","codex.banner.content.headline":"Codex 全面胜任。","codex.cloudTaskRow.archiveTask":"归档任务","codex.cloudTaskRow.confirmArchiveTask":"确认","codex.command.feedback":"反馈","codex.command.findInThread":"查找","codex.command.forceReloadSkills":"强制重新加载技能","codex.command.logOut":"注销","codex.command.manageTasks":"管理任务","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"返回","codex.command.navigateForward":"前进","codex.command.newThread":"新线程","codex.command.nextThread":"下一个线程","codex.command.openFolder":"打开文件夹","codex.command.openSkills":"前往技能","codex.command.openThreadOverlay":"弹出线程","codex.command.personalitySettings":"个性","codex.command.previousThread":"上一个线程","codex.command.settings":"设置","codex.command.toggleDiffPanel":"切换差异面板","codex.command.toggleSidebar":"切换边栏","codex.command.toggleTerminal":"切换终端","codex.commandGroup.app":"应用","codex.commandGroup.configure":"配置","codex.commandGroup.navigation":"导航","codex.commandGroup.panels":"面板","codex.commandGroup.skills":"技能","codex.commandGroup.thread":"线程","codex.commandGroup.workspace":"项目","codex.commandMenu.noResults":"无匹配项","codex.commandMenu.searchPlaceholder":"搜索命令","codex.commandMenu.suggestedGroup":"推荐","codex.commandMenu.switchWorkspace":"切换项目","codex.commandMenu.title":"命令菜单","codex.common.retry":"重试","codex.composer.searchBranches":"搜索分支","codex.dialog.basic.body":"这是基于 Radix Dialog 封装的简易模态对话框。","codex.dialog.basic.cancel":"取消","codex.dialog.basic.confirm":"确认","codex.dialog.basic.open":"打开对话框","codex.dialog.basic.title":"示例对话框","codex.dialog.long.close":"关闭","codex.dialog.long.line":"可滚动的第 {index} 行，用于展示对话框内的长内容。​","codex.dialog.long.open":"打开长对话框","codex.dialog.long.title":"长内容对话框","codex.dialog.unstyled.body":"本示例展示调用方如何完全控制对话框内容样式。","codex.dialog.unstyled.open":"打开无样式对话框","codex.dialog.unstyled.title":"无样式内容","codex.diff.openInEditorPrompt.openButton":"在编辑器中打开","codex.diff.openInEditorPrompt.singleLine":"此文件过大，无法在此显示。","codex.diffView.failedToDecodeBase64Diff":"Base64 差异解码失败","codex.diffView.filesChanged":"{fileCount, plural, other {# 个文件已更改}}","codex.diffView.imagePreviewAlt":"图片预览","codex.diffView.imagePreviewEmpty":"无图片","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"无差异数据","codex.diffView.pdfPreview.nextPage":"下一页","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"上一页","codex.diffView.pdfPreviewEmpty":"无 PDF 预览","codex.diffView.pdfPreviewError":"无法渲染 PDF 预览","codex.diffView.richPreviewDisable":"禁用富文本预览","codex.diffView.richPreviewEnable":"启用富文本预览","codex.diffView.richPreviewLoading":"正在加载预览…","codex.diffView.richPreviewToggle":"切换富文本预览","codex.diffView.switchToUnified":"切换至统一差异视图","codex.environmentSelector.noEnvironment":"无环境","codex.environments.environmentSettings":"环境设置","codex.environments.learnMore":"了解更多","codex.environments.listError":"无法加载环境。","codex.environments.noEnvironmentsFound":"未找到环境","codex.environments.searchError":"搜索环境失败。","codex.errorBoundary.genericError":"糟糕，出错了","codex.errorBoundary.goHome":"重试","codex.file.patch.missing":"无法为此文件构建补丁。","codex.gallery.automations.cwdLabel":"项目","codex.gallery.automations.nameLabel":"名称","codex.gallery.automations.namePlaceholder":"总结任务","codex.gallery.automations.promptLabel":"提示","codex.gallery.automations.promptPlaceholder":"描述 Codex 应执行的操作","codex.gallery.dialogs.automation.label":"自动化对话框","codex.gallery.dialogs.basic.body":"此布局适用于简单确认或简短表单。","codex.gallery.dialogs.basic.cancel":"取消","codex.gallery.dialogs.basic.confirm":"确认","codex.gallery.dialogs.basic.label":"基础对话框","codex.gallery.dialogs.basic.title":"示例对话框","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"描述问题","codex.gallery.dialogs.feedbackSubmission.bad":"结果异常","codex.gallery.dialogs.feedbackSubmission.bug":"错误","codex.gallery.dialogs.feedbackSubmission.good":"结果正常","codex.gallery.dialogs.feedbackSubmission.includeLogs":"包含当前 Codex 会话日志","codex.gallery.dialogs.feedbackSubmission.label":"反馈提交","codex.gallery.dialogs.feedbackSubmission.other":"其他","codex.gallery.dialogs.feedbackSubmission.placeholder":"在此处描述问题","codex.gallery.dialogs.feedbackSubmission.submit":"提交","codex.gallery.dialogs.feedbackSubmission.title":"反馈","codex.gallery.dialogs.feedbackSuccess.body":"反馈已上传。如果问题持续存在，请提交 GitHub 问题或在现有问题中提及线程 ID：","codex.gallery.dialogs.feedbackSuccess.dismiss":"忽略","codex.gallery.dialogs.feedbackSuccess.label":"反馈成功","codex.gallery.dialogs.feedbackSuccess.title":"反馈已上传","codex.gallery.dialogs.gitApplyResults.applied":"已成功应用 (2)","codex.gallery.dialogs.gitApplyResults.close":"关闭","codex.gallery.dialogs.gitApplyResults.conflicted":"存在冲突 (1)","codex.gallery.dialogs.gitApplyResults.label":"应用结果","codex.gallery.dialogs.gitApplyResults.title":"应用结果","codex.gallery.dialogs.gitPushError.body":"拉取最新更改，若确认远程历史可安全覆盖，则强制推送。","codex.gallery.dialogs.gitPushError.cancel":"取消","codex.gallery.dialogs.gitPushError.force":"强制推送","codex.gallery.dialogs.gitPushError.label":"推送错误","codex.gallery.dialogs.gitPushError.subtitle":"你的分支落后于原始分支/主分支","codex.gallery.dialogs.gitPushError.title":"无法推送变更","codex.gallery.dialogs.gitRevert.cancel":"取消","codex.gallery.dialogs.gitRevert.confirm":"还原","codex.gallery.dialogs.gitRevert.label":"还原更改","codex.gallery.dialogs.gitRevert.skip":"不再询问","codex.gallery.dialogs.gitRevert.subtitle":"此操作将撤销所有这些更改。","codex.gallery.dialogs.gitRevert.title":"是否还原更改？","codex.gallery.dialogs.longForm.label":"长文本对话框","codex.gallery.dialogs.proseModal.body":"此模态样式适用于长篇说明、指引流程或富内容区块。","codex.gallery.dialogs.proseModal.close":"关闭","codex.gallery.dialogs.proseModal.subtitle":"在此处分享长篇指南或文档。","codex.gallery.dialogs.proseModal.title":"文段模态","codex.gallery.dialogs.submitBlocked.label":"提交已被屏蔽","codex.gallery.dialogs.submitBlocked.message":"项目不可用，消息发送失败。","codex.gallery.dialogs.submitBlocked.ok":"确定","codex.gallery.dialogs.submitBlocked.title":"无法发送消息","codex.gallery.dialogs.title":"对话框","codex.gallery.dropdown.filterPlaceholder":"筛选项目","codex.gallery.dropdowns.actionRow":"操作行","codex.gallery.dropdowns.actionRow.disabled":"禁用的操作","codex.gallery.dropdowns.actionRow.primary":"主要操作","codex.gallery.dropdowns.actionRow.secondary":"次要操作","codex.gallery.dropdowns.actionRow.trigger":"显示操作","codex.gallery.dropdowns.basic":"基础下拉菜单","codex.gallery.dropdowns.basic.newFile":"新文件","codex.gallery.dropdowns.basic.newFolder":"新建文件夹","codex.gallery.dropdowns.basic.openSettings":"打开设置","codex.gallery.dropdowns.basic.title":"快速操作","codex.gallery.dropdowns.basic.trigger":"打开菜单","codex.gallery.dropdowns.basic.upload":"上传","codex.gallery.dropdowns.panel":"面板表面","codex.gallery.dropdowns.panel.apply":"应用","codex.gallery.dropdowns.panel.body":"审阅差异并应用到项目。","codex.gallery.dropdowns.panel.preview":"预览","codex.gallery.dropdowns.panel.title":"应用更改","codex.gallery.dropdowns.panel.trigger":"打开面板","codex.gallery.dropdowns.search":"可搜索下拉菜单","codex.gallery.dropdowns.search.first":"内测版通道","codex.gallery.dropdowns.search.second":"公测版分支","codex.gallery.dropdowns.search.third":"发布候选版本","codex.gallery.dropdowns.search.trigger":"筛选项目","codex.gallery.dropdowns.submenu":"带子菜单的下拉菜单","codex.gallery.dropdowns.submenu.optionA":"项目内测版","codex.gallery.dropdowns.submenu.optionB":"项目公测版","codex.gallery.dropdowns.submenu.optionC":"项目最终调整版","codex.gallery.dropdowns.submenu.primary":"分配所有者","codex.gallery.dropdowns.submenu.secondary":"移至","codex.gallery.dropdowns.submenu.tertiary":"归档","codex.gallery.dropdowns.submenu.trigger":"选择操作","codex.gallery.dropdowns.title":"下拉菜单","codex.gallery.inbox.automations.close":"关闭","codex.gallery.inbox.automations.popover.cardTitle":"管理自动化功能","codex.gallery.inbox.automations.popover.dialogTitle":"管理自动化功能","codex.header.settingsTooltip":"设置","codex.hunk.patch.error":"无法暂存","codex.hunk.patch.missing":"无法为此代码块构建补丁。","codex.hunk.patch.partialSuccess":"部分成功","codex.hunk.patch.revertError":"无法取消暂存","codex.hunk.patch.revertSuccess":"已成功取消暂存","codex.hunk.patch.success":"已成功暂存","codex.legal.autonomy.details":"有关详情，请查看{link}","codex.legal.autonomy.details.link":"Codex 文档","codex.legal.autonomy.title":"设定授予的自主权限程度","codex.legal.backButton":"返回","codex.legal.cloud.taskOne.meta":"openai/agi · 10 月 12 日","codex.legal.cloud.taskOne.title":"为新设计师讲解存储库","codex.legal.cloud.taskThree.meta":"openai/codex · 10 月 8 日","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"创建深色模式主题","codex.legal.cloud.taskTwo.meta":"openai/agi · 10 月 9 日","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"修复引导流程错误","codex.legal.continue.apikey":"继续","codex.legal.continueButton":"下一步","codex.legal.copilot.details":"你的 Copilot 套餐适用于模型调用、计费与速率限制。使用 Codex 扩展程序时需同时遵守 {oaiTos} 和 {gitHubTos}。","codex.legal.copilot.gitHubTosLink":"GitHub 服务条款","codex.legal.copilot.oaiTosLink":"OpenAI Codex 服务条款","codex.legal.copilot.title":"由 GitHub Copilot 提供支持","codex.legal.mistakes.review":"审查其编写的代码和执行的命令","codex.legal.mistakes.title":"Codex 也可能会犯错","codex.legal.powered.details":"使用套餐的速率限制和{link}","codex.legal.powered.details.link":"训练数据偏好设置","codex.legal.powered.title":"由你的 ChatGPT 帐户提供支持","codex.legal.step.cloud.subtitle":"将任务发送至 Codex 后台运行，让你保持专注，提高效率​。","codex.legal.step.cloud.title":"移交云端 Codex 处理","codex.legal.step.intro.subtitle":"Codex 能直接在存储库内导航、编辑、运行命令、执行测试，均由你的 ChatGPT 帐户提供支持。","codex.legal.step.intro.title":"在 IDE 中使用 Codex","codex.legal.step.todo.subtitle":"编写 TODO 注释并一键转为 Codex 任务。","codex.legal.step.todo.title":"将 TODO 转为 Codex 任务","codex.legal.todo.heading":"// TODO：实现架构","codex.localConversation.closeImagePreview":"关闭图片预览","codex.localConversation.userImageAttachment":"用户附件","codex.localTaskRow.archiveTask":"归档线程","codex.localTaskRow.awaitingApproval":"等待批准","codex.localTaskRow.awaitingResponse":"等待回复","codex.localTaskRow.confirmArchiveTask":"确认","codex.loggedOut.apiKeyPrompt.cancel":"取消","codex.loggedOut.apiKeyPrompt.confirm":"确定","codex.loggedOut.apiKeyPrompt.getKey":"获取 API 密钥","codex.loggedOut.apiKeyPrompt.inputLabel":"输入你的 OpenAI API 密钥","codex.loggedOut.apiKeyPrompt.placeholder":"sk-…","codex.loggedOut.cloudTasksDisabledWithApiKey":"已通过 API 密钥禁用云端任务","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"已通过 Copilot 和 API 密钥禁用云端任务","codex.loggedOut.signIn":"通过 ChatGPT 登录","codex.loggedOut.signIn.cancel":"取消登录","codex.loggedOut.signInWithCopilot":"通过 GitHub Copilot 登录","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"使用 API 密钥","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} 工具","codex.mcpTool.collapsedLabel.verb.called":"已调用","codex.mcpTool.collapsedLabel.verb.calling":"正在调用","codex.mcpTool.embeddedResource.contentLabel":"内容","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME 类型","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"工具未返回任何内容","codex.mcpTool.rawPayloadHeading":"原始 {server}.{tool} 工具调用负载","codex.menu.recent":"最近","codex.menu.seeAllHistory":"查看所有历史记录","codex.modelCapacityBanner.headline.noReset":"{modelName} 当前已满负荷运行。请稍后重试，或与其他模型新建对话。","codex.modelCapacityBanner.headline.withReset":"{modelName} 当前已满负荷运行。请在 {resetDate} 后重试，或与其他模型新建对话。","codex.modelCapacityBanner.title":"所选模型已满负荷运行","codex.patch.change.contentsDeleted":"内容已删除","codex.patch.change.created":"已创建","codex.patch.change.created-file":"文件已创建","codex.patch.change.creating":"正在创建","codex.patch.change.deleted":"已删除","codex.patch.change.deleted-file":"文件已删除","codex.patch.change.deleting":"正在删除","codex.patch.change.edited":"已编辑","codex.patch.change.edited-file":"已编辑的文件","codex.patch.change.editing":"正在编辑","codex.patch.change.noChanges":"无更改","codex.patch.change.rejected-add":"已拒绝","codex.patch.change.rejected-delete":"已拒绝","codex.patch.change.rejected-edit":"已拒绝","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"已完成 {completed} 个任务，共 {total} 个","codex.plan.todoListCreated":"已创建包含 {total} 个任务的待办事项清单","codex.profileDropdown.apiKeyAuth":"已通过 API 密钥登录","codex.profileDropdown.codexSettings":"Codex 设置","codex.profileDropdown.copilotAuth":"已通过 Copilot 登录","codex.profileDropdown.defaultAccountTitle":"默认帐户","codex.profileDropdown.enterBehavior":"按 {modifierSymbol} + 回车键发送长文本提示","codex.profileDropdown.enterBehaviorError":"无法更新设置","codex.profileDropdown.getPlus":"升级以获享更高限额","codex.profileDropdown.keyboardShortcuts":"键盘快捷方式","codex.profileDropdown.language":"语言","codex.profileDropdown.languageDefault":"自动检测","codex.profileDropdown.languageSearchPlaceholder":"搜索语言","codex.profileDropdown.languageUpdateError":"无法更新语言","codex.profileDropdown.logOut":"退出登录","codex.profileDropdown.mcp":"MCP 设置","codex.profileDropdown.openConfigToml":"打开 config.toml","codex.profileDropdown.openConfigToml.wsl":"在 WSL 环境中打开 config.toml","codex.profileDropdown.openExtensionSettings":"打开设置","codex.profileDropdown.openMcpSettings":"打开 MCP 设置","codex.profileDropdown.openOnStartup":"启动时打开","codex.profileDropdown.openOnStartupError":"无法更新设置","codex.profileDropdown.openSkillsSettings":"打开技能设置","codex.profileDropdown.personalAccountTitle":"个人帐户","codex.profileDropdown.queueFollowUps":"排队跟进任务","codex.profileDropdown.queueFollowUpsError":"无法更新设置","codex.profileDropdown.readDocs":"读取文档","codex.profileDropdown.readSkillsDocs":"读取文档","codex.profileDropdown.runInWsl":"在 WSL 中运行","codex.profileDropdown.runInWslError":"无法更新设置","codex.profileDropdown.runInWslTooltip":"在 WSL 中运行 Codex。推荐使用此方案以提升沙盒安全性和性能表现。","codex.profileDropdown.settings":"IDE 设置","codex.profileDropdown.settingsPage":"设置","codex.profileDropdown.signInWithOpenAI":"通过 ChatGPT 登录","codex.profileDropdown.skills":"技能设置","codex.profileDropdown.switchToCopilotAccount":"使用 Copilot 帐户","codex.profileDropdown.switchToOpenAIAccount":"使用 OpenAI 帐户","codex.profileDropdown.todoCodelens":"解决  TODO 注释中的问题","codex.profileDropdown.todoCodelensError":"无法更新设置","codex.profileDropdown.windowsDocumentation":"Windows 文档","codex.profileFooter.signedInFallback":"设置","codex.profileFooter.upgrade":"升级","codex.recentTasksMenu.clearSearch":"清空搜索","codex.recentTasksMenu.cloud":"云任务","codex.recentTasksMenu.count":"{count, plural, =0 {没有正在进行的任务} other {# 项任务正在进行中}}","codex.recentTasksMenu.empty":"尚无线程","codex.recentTasksMenu.errorCloud":"无法加载任务。","codex.recentTasksMenu.errorCloud.inline":"无法加载云任务。","codex.recentTasksMenu.filterAll":"全部","codex.recentTasksMenu.filterCloudTasks":"筛选云任务","codex.recentTasksMenu.filterTooltip":"按环境筛选任务","codex.recentTasksMenu.local":"本地任务","codex.recentTasksMenu.recent":"所有任务","codex.recentTasksMenu.search":"搜索最近任务","codex.recentTasksMenu.searchEmpty":"无结果","codex.recentTasksMenu.tooltip":"任务历史记录","codex.recentTasksMenu.trigger":"最近任务。{count, plural, other {# 正在进行中}}","codex.remoteConversation.applyDiff.applyCta":"应用更改","codex.remoteConversation.applyDiff.dropdownTitle":"将更改应用到本地分支","codex.remoteConversation.applyDiff.revertCta":"还原更改","codex.remoteConversation.closeImagePreview":"关闭图片预览","codex.remoteConversation.codexCloudTask":"你正在查看 <u>Codex Cloud</u> 任务","codex.remoteConversation.errorWithMessage":"错误：{message}","codex.remoteConversation.loadingImage":"正在加载图片","codex.remoteConversation.openInWeb":"在网页中打开","codex.remoteConversation.streaming":"开始使用","codex.remoteConversation.turnFailed":"运行此任务时出错","codex.remoteConversation.turnTab.loading":"尝试 {number}","codex.remoteConversation.turnTab.title":"尝试 {number}","codex.remoteConversation.userImageAttachment":"用户附件","codex.remoteConversation.viewPreviousTurns":"在网页中打开","codex.remoteConversation.viewPreviousTurns.buttonText":"打开","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"在网页中打开","codex.review.copyGitApplyCommand":"复制 git apply 命令","codex.review.copyGitApplyCommand.toast":"已将 git apply 命令复制到剪贴板","codex.review.diffTooLarge.description":"差异过大，无法在审核界面完整显示。","codex.review.diffTooLarge.title":"差异过大，无法显示","codex.review.expandOrCollapseDiffButton.collapse":"折叠全部差异","codex.review.expandOrCollapseDiffButton.expand":"展开全部差异","codex.review.expandOrCollapseDiffMenu.collapse":"折叠全部差异","codex.review.expandOrCollapseDiffMenu.expand":"展开全部差异","codex.review.fileSearch.clear":"清除文件筛选条件","codex.review.fileSearch.empty":"没有符合当前筛选条件的文件。","codex.review.fileSearch.label":"筛选文件","codex.review.fileSearch.placeholder":"筛选文件…","codex.review.filesChanged":"{num, plural, =0 {无已更改的文件} other {# 个文件已更改}}","codex.review.find.loadMore":"加载更多匹配项","codex.review.fullReview.hideFileTree":"隐藏文件树","codex.review.fullReview.showFileTree":"显示文件树","codex.review.header.moreOptions":"查看选项","codex.review.largeDiff.banner":"检测到大量差异：每次仅显示一个文件。","codex.review.loadFullFiles.disable":"不加载完整文件","codex.review.loadFullFiles.enable":"加载完整文件","codex.review.noDiff":"文件更改将在此处显示","codex.review.noDiff.gitInit.createRepository":"创建 Git 存储库","codex.review.noDiff.gitInit.creating":"正在创建…","codex.review.noDiff.gitInit.error":"Git 初始化失败：{message}","codex.review.noDiff.gitInit.success":"Git 存储库已创建","codex.review.noDiff.gitRepoRequired.description":"追踪并撤销此项目的更改","codex.review.noDiff.gitRepoRequired.title":"创建 Git 存储库","codex.review.noDiff.orNoLongerAvailable":"或者最新差异已不再可用","codex.review.noDiff.reverted":"上轮对话已还原","codex.review.noDiff.revertedOrCommitted":"上轮对话已还原或提交","codex.review.refreshGitQueries":"刷新","codex.review.revert.file.error":"无法还原 {path}","codex.review.revert.file.partialSuccess":"已部分还原 {path}","codex.review.revert.file.success":"已还原 {path}","codex.review.revert.hunk.error":"无法还原 {path} 中的代码块 {hunkNumber}","codex.review.revert.hunk.partialSuccess":"已部分还原 {path} 中的代码块 {hunkNumber}","codex.review.revert.hunk.success":"已还原 {path} 中的代码块 {hunkNumber}","codex.review.revert.section.error":"无法还原部分","codex.review.revert.section.partialSuccess":"已部分还原部分","codex.review.revert.section.success":"已还原部分","codex.review.revertDialog.cancel":"取消","codex.review.revertDialog.confirm":"确认","codex.review.revertDialog.message":"此操作将撤销所有这些更改。","codex.review.revertDialog.skip":"不再询问","codex.review.revertDialog.title":"是否还原更改？","codex.review.richPreview.disable":"禁用富文本预览","codex.review.richPreview.enable":"启用富文本预览","codex.review.source.cloud":"云端更改","codex.review.source.local.all":"全部分支更改","codex.review.source.local.lastTurn":"上一轮更改","codex.review.source.local.uncommitted":"未提交的更改","codex.review.source.worktree":"未提交的工作树更改","codex.review.stageFilter.empty.staged.description":"接受编辑内容并暂存","codex.review.stageFilter.empty.staged.title":"无暂存更改","codex.review.stageFilter.empty.unstaged.description":"代码更改将在此处显示","codex.review.stageFilter.empty.unstaged.title":"无未暂存更改","codex.review.stageFilter.staged":"已暂存","codex.review.stageFilter.staged.count":"已暂存 · {count}","codex.review.stageFilter.unstaged":"未暂存","codex.review.stageFilter.unstaged.count":"未暂存 · {count}","codex.review.switchToSplit":"切换至拆分差异视图","codex.review.switchToUnified":"切换至统一差异视图","codex.review.toggleDiffView":"切换差异视图","codex.review.wordDiffs.disable":"禁用文字差异","codex.review.wordDiffs.enable":"启用文字差异","codex.review.wrap.disable":"禁用自动换行","codex.review.wrap.enable":"启用自动换行","codex.section.patch.missing":"无法为此部分构建补丁。","codex.shell.collapse":"折叠 Shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"已复制 Shell 内容","codex.shell.copy.copyTooltip":"复制 Shell 内容","codex.shell.copyCommand":"复制命令","codex.shell.copyOutput":"复制输出","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"展开 Shell","codex.shell.name":"Shell","codex.shell.noOutput":"无输出","codex.signInFailed.message":"登录失败：{rawMessage}","codex.stories.toast.show":"显示弹窗","codex.stories.tooltip.basic":"这是一条工具提示","codex.stories.tooltip.hoverMe":"悬停在此处","codex.stories.tooltip.largerOffset":"此工具提示的偏移量较大​","codex.stories.tooltip.offsetButton":"偏移量较大​","codex.stories.tooltip.shortcutButton":"含快捷方式","codex.stories.tooltip.withShortcut":"切换终端","codex.taskRow.title":"新线程","codex.taskRowLayout.confirm":"确认","codex.threadFindBar.chatFilter":"搜索聊天","codex.threadFindBar.close":"关闭查找","codex.threadFindBar.diffFilter":"搜索差异","codex.threadFindBar.label":"在线程中查找","codex.threadFindBar.nextResult":"下一个结果","codex.threadFindBar.noResults":"0 个结果","codex.threadFindBar.placeholder":"搜索线程…","codex.threadFindBar.placeholder.extension":"搜索线程…","codex.threadFindBar.placeholder.review":"搜索差异…","codex.threadFindBar.placeholder.review.extension":"搜索差异…","codex.threadFindBar.previousResult":"上一个结果","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# 个文件已更改}}","codex.unifiedDiff.inlineLargeFile":"内容过大，无法内联渲染","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"撤销","codex.unifiedDiff.revertPatchError":"无法还原更改","codex.unifiedDiff.revertPatchSuccess":"更改已还原","codex.unifiedDiff.reviewChangesSuffix":"更改","codex.unifiedDiff.reviewShort":"审核","codex.unifiedDiff.viewDiffTooltip":"审核","codex.upsellBanner.business.headline":"若想立即获得更多访问权限，请向管理员发送请求，或等待至{resetDate}。","codex.upsellBanner.cbp.headline":"若想立即获得更多访问权限，请向管理员发送请求。","codex.upsellBanner.cta.addCredits":"增加额度","codex.upsellBanner.cta.upgradeAccount":"升级","codex.upsellBanner.cta.viewUsage":"查看使用情况","codex.upsellBanner.free.trialHeadline":"你的额度将于 {resetDate}重置。如需继续使用 Codex 并获取 GPT-5.3-Codex 访问权限，请立即开启 Plus 免费试用。","codex.upsellBanner.freeOrGo.headline":"你的额度将于 {resetDate}重置。要继续使用 Codex，请立即升级至 Plus 套餐。","codex.upsellBanner.general.headline":"你的额度将于 {resetDate}重置。","codex.upsellBanner.general.title":"你的 Codex 消息限额已用尽","codex.upsellBanner.go.trialHeadline":"你的额度将于 {resetDate}重置。如需继续使用 Codex，请立即开启 Plus 免费试用。","codex.upsellBanner.plus.headline":"你的额度将于 {resetDate}重置。要继续使用 Codex，请增加额度或立即升级至 Pro 套餐。","codex.upsellBanner.pro.headline":"你的额度将于 {resetDate}重置。请增加额度以继续使用 Codex。","codex.userMessage.autoResolveSync":"自动解决冲突","codex.userMessage.commentCount":"{count, plural, other {# 个评论}}","codex.userMessage.copiedAriaLabel":"已复制","codex.userMessage.copiedTooltip":"已复制","codex.userMessage.copyAriaLabel":"复制消息","codex.userMessage.copyTooltip":"复制","codex.userMessage.implementPlan":"实施计划","codex.userMessage.noContent":"（无内容）","codex.userMessage.priorConversation":"参考历史对话","codex.userMessage.reviewMode":"审查模式","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"（{query}）","codex.webSearch.summary.verb.completed":"已搜索网页","codex.webSearch.summary.verb.inProgress":"正在搜索网页","codex.windowsInstallWslBanner.dismiss":"忽略","codex.windowsInstallWslBanner.installWslCta":"启用沙盒","codex.windowsInstallWslBanner.learnMore":"了解更多","codex.windowsSandboxBanner.content":"代理模式采用实验性 Windows 沙盒环境，以限制文件系统和网络访问权限。{sandboxLink}","codex.windowsSandboxBanner.title":"为代理模式启用沙盒","codex.windowsSubDropdown.windowsSandbox":"Windows 沙盒","codex.windowsSubDropdown.windowsSettings":"Windows 设置","codexUpgradeModal.body":"我们最新的前沿智能编码模型——更智能、更快速，更擅长通用技术工作。{link}","codexUpgradeModal.close":"关闭","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"了解更多","codexUpgradeModal.title":"GPT-5.3-Codex 上线","codexUpgradeModal.tryNewModel":"立即试用 GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"继续使用当前模型","commentAttachments.numComments":"{count, plural, other {# 个评论}}","commentAttachments.removeAriaLabel":"移除评论附件","common.close":"关闭","composer.addContext.openFilePickerError":"无法打开文件选择器","composer.addContextDropdown.ariaLabel":"添加文件等","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"添加文件等","composer.addPhotosAndFiles":"添加照片和文件","composer.atMentionList.emptyQuery":"输入相关内容以搜索文件","composer.atMentionList.loading":"正在搜索…","composer.atMentionList.noResults":"无结果","composer.attemptsSelector.option":"{count, plural, other {# 个版本}}","composer.attemptsSelector.tooltip":"Codex 并行尝试次数​","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"停止","composer.cloudFollowUp.cloud":"云端","composer.cloudFollowUp.local":"本地","composer.cloudFollowUp.whereRun":"后续任务应在何处运行？","composer.cloudTaskCreationError":"创建云任务时出错","composer.cloudTaskError":"创建任务时出错","composer.contextWindow.autoCompactionTooltipLine1":"Codex 自动压缩其背景信息","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"背景信息窗口：","composer.contextWindowUsageStatusFull":"{usage}% 已用","composer.contextWindowUsageStatusLeft":"{usage}% 已用（剩余 {remaining}%）","composer.contextWindowUsageTooltip":"已用 {usedTokens}k 标记，共 {contextWindow}k","composer.customCliTooltip":"使用自定义 CLI 可执行文件","composer.dictation.aria":"听写","composer.dictation.cancel.aria":"停止听写","composer.dictation.cancel.tooltip":"停止听写","composer.dictation.startError":"无法开始听写","composer.dictation.submit.aria":"转录并发送","composer.dictation.submit.tooltip":"转录并发送","composer.dictation.tooltip":"长按以听写","composer.dictation.transcribeError":"无法转录音频","composer.dictation.unsupported":"此设备不支持听写","composer.dropOverlay.holdShift":"长按 {key} 以拖放","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"新建","composer.environmentSelector.error":"加载环境时出错","composer.environmentSelector.goBack":"返回编辑器","composer.environmentSelector.title":"选择环境","composer.environmentSelector.tooltip":"选择云端环境","composer.feedbackSlashCommand.title":"反馈","composer.filePicker.selectFile":"选择文件","composer.filePicker.selectFiles":"选择文件","composer.followerTooltip":"要继续，请返回到发起此对话的窗口。","composer.footer.branchSwitch.checkoutError":"无法切换分支：{message}","composer.footer.branchSwitch.createAndCheckout":"创建并检出新分支…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"提交更改以创建并检出新分支","composer.footer.branchSwitch.createBranchError":"无法创建分支：{message}","composer.footer.branchSwitch.createDialog.ariaLabel":"分支名称","composer.footer.branchSwitch.createDialog.branchExistsError":"分支已存在。","composer.footer.branchSwitch.createDialog.close":"关闭","composer.footer.branchSwitch.createDialog.createAndCheckout":"创建并检出","composer.footer.branchSwitch.createDialog.placeholder":"新分支","composer.footer.branchSwitch.createDialog.title":"创建并检出分支","composer.footer.branchSwitch.createDialog.trailingSlashError":"分支名不能以“/”结尾。","composer.footer.branchSwitch.tooltip":"切换分支","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"提交 {fileCount, plural, other {# 个文件}} 中的更改以检出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"提交 ","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, other {# 个文件}} 中的更改以检出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.cancel":"取消","composer.footer.branchSwitch.uncommittedDialog.commit":"提交并切换分支…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"你对以下文件的更改将被检出操作覆盖：","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"请提交更改以继续","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"已选分支","composer.footer.branchSwitch.uncommittedDialog.title":"提交更改以切换分支","composer.footer.branchSwitch.uncommittedSummaryPrefix":"未提交的更改：{fileCount, plural, other {# 个文件}}","composer.forkSlashCommand.description":"将此线程派生到本地或新的工作树","composer.forkSlashCommand.option.local.description":"在新的本地线程中继续","composer.forkSlashCommand.option.local.title":"派生到本地","composer.forkSlashCommand.option.worktree.description":"在新工作树中继续","composer.forkSlashCommand.option.worktree.title":"派生到新工作树","composer.forkSlashCommand.title":"派生","composer.ideContextIndicator":"IDE 背景信息","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"包含 IDE 背景信息","composer.ideContextIndicator.tooltipToggle":"切换","composer.ideContextSlashCommand.disableDescription":"关闭 IDE 背景信息","composer.ideContextSlashCommand.enableDescription":"包含当前选择、打开的文件以及其他来自你 IDE 的背景信息","composer.ideContextSlashCommand.title":"IDE 背景信息","composer.imageInputsUnsupported":"此模型不支持图片输入，请尝试其他模型。","composer.imageUploadFailed":"无法上传图片","composer.includeIdeContextDropdown":"包含 IDE 背景信息","composer.includeIdeContextDropdown.ariaLabel":"包含 IDE 背景信息","composer.localCwdDropdown.addWorkspaceRoot":"添加新项目","composer.localCwdDropdown.noActiveRoot":"选择你的项目","composer.localCwdDropdown.noResults":"未找到任何文件夹","composer.localCwdDropdown.title":"选择你的项目","composer.localTaskError":"开启对话时出错","composer.mcpSlashCommand.description":"显示 MCP 服务器状态","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"未经身份验证","composer.mcpStatus.authOauth":"已通过身份验证 (OAuth)","composer.mcpStatus.authToken":"已通过身份验证（API 密钥）","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"关闭","composer.mcpStatus.disabled":"已禁用","composer.mcpStatus.emptyLabel":"服务器：","composer.mcpStatus.emptyValue":"未配置 MCP 服务器","composer.mcpStatus.enabled":"已启用","composer.mcpStatus.errorLabel":"状态：","composer.mcpStatus.errorValue":"无法加载 MCP 状态","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"代理","composer.mode.agentMode.auto.dropdownLabel":"代理","composer.mode.agentMode.auto.optionLabel":"代理","composer.mode.agentMode.changePermission":"切换模式","composer.mode.agentMode.custom":"自定义","composer.mode.agentMode.custom.dropdownLabel":"自定义","composer.mode.agentMode.custom.option":"自定义 (config.toml)","composer.mode.agentMode.custom.optionLabel":"自定义 (config.toml)","composer.mode.agentMode.customInfo.cancel":"取消","composer.mode.agentMode.customInfo.cli":"可通过 CLI 或直接编辑文件来调整这些设置​。","composer.mode.agentMode.customInfo.confirm":"使用自定义模式","composer.mode.agentMode.customInfo.description":"自定义模式将应用 <link>config.toml</link> 文件中定义的审批与沙盒策略​。","composer.mode.agentMode.customInfo.docs":"如需深入了解如何配置审批和沙盒策略，请参见<link>执行环境文档</link>.","composer.mode.agentMode.customInfo.refresh":"所有更改将在下次代理运行时生效。","composer.mode.agentMode.customInfo.title":"自定义模式如何运作","composer.mode.agentMode.fullAccess":"代理（完全访问权限）","composer.mode.agentMode.fullAccess.dropdownLabel":"代理（完全访问权限）","composer.mode.agentMode.fullAccess.optionLabel":"代理（完全访问权限）","composer.mode.agentMode.fullAccessConfirm.caution":"启用完全访问权限前请谨慎评估。此操作将显著增加数据丢失、泄露或异常行为的风险。","composer.mode.agentMode.fullAccessConfirm.confirm":"是，仍然继续","composer.mode.agentMode.fullAccessConfirm.description":"在完全访问权限模式下，Codex 可无需审批直接编辑计算机上的任意文件并运行网络命令。​","composer.mode.agentMode.fullAccessConfirm.goBack":"取消","composer.mode.agentMode.fullAccessConfirm.title":"启用完全访问权限？","composer.mode.agentMode.readOnly":"聊天","composer.mode.agentMode.readOnly.dropdownLabel":"聊天","composer.mode.agentMode.readOnly.optionLabel":"聊天","composer.mode.agentMode.tooltip":"切换模式","composer.mode.agentMode.tooltip.auto":"读取和编辑文件，并运行命令。","composer.mode.agentMode.tooltip.custom":"使用 config.toml 中的最新审批与沙盒策略​。","composer.mode.agentMode.tooltip.fullAccess":"Codex 可编辑当前项目以外的文件并通过网络访问执行命令，使用时请务必谨慎操作。","composer.mode.agentMode.tooltip.readOnly":"需要审批才能编辑文件和运行命令。","composer.mode.cloud.tooltip":"在云端环境中工作","composer.mode.contactAdmin":"如需获得更多访问权限，请联系管理员","composer.mode.local":"本地","composer.mode.local.learnMore":"了解更多","composer.mode.local.model.custom":"自定义","composer.mode.local.model.loadingModel":"正在加载模型","composer.mode.local.model.selecrReasoningEffort":"选择推理功能","composer.mode.local.model.selectModel":"选择模型","composer.mode.local.model.tooltip":"选择模型","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"高","composer.mode.local.reasoning.low.label":"低","composer.mode.local.reasoning.medium.label":"中","composer.mode.local.reasoning.minimal.label":"极低","composer.mode.local.reasoning.none.label":"无","composer.mode.local.reasoning.xhigh.label":"超高","composer.mode.localRemoteWhereRun":"选择任务的运行位置","composer.mode.newTask.header":"继续使用","composer.mode.rateLimit.day":"{days} 天","composer.mode.rateLimit.heading":"剩余额度​","composer.mode.rateLimit.hour":"{hours} 小时","composer.mode.rateLimit.minute":"{minutes} 分","composer.mode.rateLimit.modelSectionLabel":"{modelName} 限额：","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} 周限额}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} 周}}","composer.mode.remote.connectToCloud":"关联 Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"通过 Codex web 配置环境以启用任务云端派发","composer.mode.remote.selectEnvironment":"选择环境","composer.mode.remote.sendToCloud":"发送至云端","composer.mode.remote.setupViaWeb":"通过 Codex web 设置环境","composer.mode.runInCloud":"云端","composer.mode.runInCloudWithEnvironment":"云端 · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"在云端环境中工作","composer.mode.segmentedToggle.local.tooltip":"在本地项目中开展工作","composer.mode.segmentedToggle.worktree.tooltip":"在并行工作树中工作","composer.mode.upgradeToPlus":"升级至 Plus","composer.mode.upgradeToPro":"升级至 Pro","composer.mode.workLocally":"本地项目","composer.mode.workLocally.currentBranchFallback":"你的分支","composer.mode.workLocally.tooltip":"在 {branchName} 上工作","composer.mode.worktree":"新工作树","composer.mode.worktree.submoduleWarning":"此存储库包含 Git 子模块，创建工作树可能会失败","composer.mode.worktree.tooltip":"创建本地项目的副本以并行开展工作","composer.mode.worktreeSegment":"工作树","composer.modelChangeDuringConversationWarning.toast":"在对话中途切换模型会降低性能表现。","composer.newChat.heading.browser":"接下来我们需要编写什么代码？","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex 使用 config.toml 中定义的权限。","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex 拥有对你的计算机的完全访问权限（高风险）","composer.permissionsDropdown.custom.label":"自定义 (config.toml)","composer.permissionsDropdown.custom.optionLabel":"自定义 (config.toml)","composer.permissionsDropdown.default.label":"默认权限","composer.permissionsDropdown.default.optionLabel":"默认权限","composer.permissionsDropdown.default.tooltip":"Codex 自动在沙盒中运行命令","composer.permissionsDropdown.disabled.requirements":"权限被 requirements.toml 锁定","composer.permissionsDropdown.fullAccess.disabled":"完整访问权限已由 requirements.toml 文件禁用","composer.permissionsDropdown.fullAccess.label":"完全访问权限","composer.permissionsDropdown.fullAccess.optionLabel":"完全访问权限","composer.permissionsDropdown.trigger.tooltip":"更改权限","composer.personalitySlashCommand.description.friendly":"温暖、协作、贴心","composer.personalitySlashCommand.description.pragmatic":"简洁、专注、直接","composer.personalitySlashCommand.label.friendly":"亲和","composer.personalitySlashCommand.label.pragmatic":"务实","composer.personalitySlashCommand.notApplicableSuffix":"（不应用于当前模型）","composer.personalitySlashCommand.title":"个性","composer.placeholder.cloudFollowUp.directFollowUp":"此云端任务的后续操作","composer.placeholder.cloudFollowUp.local":"创建引用此云端任务的新的本地任务","composer.placeholder.cloudFollowUp.workingTree":"创建包含当前代码并将引用此任务的新的云端任务","composer.placeholder.localFollowUp.cloud":"在新的云端任务中进行后续操作","composer.placeholder.localFollowUp.locally":"要求后续变更","composer.placeholder.newTask.cloud":"在云端向 Codex 下达任意指令​","composer.placeholder.newTask.doAnything":"向 Codex 下达任意指令​","composer.placeholder.newTask.locally":"向 Codex 任意提问，@ 添加文件，/ 调出命令","composer.planModeDropdown":"计划模式","composer.planModeDropdown.ariaLabel":"计划模式","composer.planModeIndicator":"计划","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"使用 Codex 创建计划","composer.planModeIndicator.tooltipToggle":"切换","composer.planSlashCommand.disableDescription":"关闭计划模式","composer.planSlashCommand.enableDescription":"开启计划模式","composer.planSlashCommand.title":"计划模式","composer.priorContext.label":"上一个场景","composer.priorContext.removeAriaLabel":"移除上一个场景","composer.queuedMessage.delete":"删除排队的消息","composer.queuedMessage.edit":"编辑消息","composer.queuedMessage.more":"排队消息操作","composer.queuedMessage.sendNow":"引导","composer.queuedMessage.sendNowTooltip":"立即发送而不中断工作","composer.queuedMessage.turnOff":"关闭排队","composer.reasoningEffort.local.reasoning.tooltip":"选择推理强度等级","composer.remote.branchStartingPoint":"此任务应从哪个分支启动？","composer.remote.branchesSectionHeading":"分支","composer.remote.currentEditsSuffix.followUp":"创建引用此云端任务的新任务。","composer.remote.currentEditsSuffix.useLocal":"含本地代码更改","composer.remote.directFollowUp":"不应用本地更改","composer.remote.errorLoadingBranches":"加载分支时出错","composer.remote.fromBranch":"始于：{branch}","composer.remote.fromCurrentBranch":"始于 {branch}（当前）","composer.remote.loadingMoreBranches":"正在加载…","composer.remote.localFileStateHeading":"本地文件状态","composer.remote.localWorkingTree":"应用本地更改","composer.remote.startingPoint":"此任务应从哪个代码版本启动？","composer.reviewMode.branches.error":"无法加载分支","composer.reviewMode.branches.retry":"重试","composer.reviewMode.gitRoot.error":"未找到 Git 根目录","composer.reviewMode.option.baseBranch.simple":"基于基础分支进行审查​","composer.reviewMode.option.unstaged.simple":"审查未提交的更改","composer.reviewMode.quickReviewError":"无法启动代码审查。","composer.reviewMode.title":"代码审查","composer.sandboxButton.unlock.disabled.tooltip":"完整访问权限已由 requirements.toml 文件禁用","composer.sandboxButton.windowsSandboxDialog.content":"Codex 采用实验性 Windows 沙盒环境，以限制文件系统和网络访问权限。{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"启用 Windows 沙盒？","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"使用只读模式","composer.searchEnvironments":"搜索环境","composer.skillMentionList.app":"应用","composer.skillMentionList.loading":"正在加载技能…","composer.skillMentionList.noResults":"找不到技能","composer.slashCommands.cloudEnvironment.title":"云端环境","composer.slashCommands.dialogLabel":"斜杠命令菜单","composer.slashCommands.dialogTitle":"斜杠命令","composer.slashCommands.disabledTooltip":"开启新对话以使用斜杠命令","composer.slashCommands.inputPlaceholder":"搜索","composer.slashCommands.noResults":"无命令","composer.slashCommands.skillsGroup":"技能","composer.slashCommands.tooltip":"浏览斜杠命令","composer.status.close":"关闭","composer.statusPlain.alertLabel":"警报：","composer.statusPlain.alertValue":"{window}上剩余 {remaining}%","composer.statusPlain.contextLabel":"背景信息：","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"（已使用 {used}/共 {total}）","composer.statusPlain.contextValueRemaining":"剩余 {remaining}%","composer.statusPlain.heading":"状态","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} 限额：","composer.statusPlain.rateLimitDays":"{count} 天限额","composer.statusPlain.rateLimitFallbackLabel":"额度​：","composer.statusPlain.rateLimitHours":"{count} 小时限额","composer.statusPlain.rateLimitLabelBase":"额度​","composer.statusPlain.rateLimitMinutes":"{count} 分钟限额","composer.statusPlain.rateLimitPercent":"剩余 {remaining}%","composer.statusPlain.rateLimitReset":"重置时间：{time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"重置时间不可用","composer.statusPlain.rateLimitUnavailable":"不可用","composer.statusPlain.sessionCopiedAriaLabel":"已复制会话 ID","composer.statusPlain.sessionCopiedTooltip":"已复制 ID","composer.statusPlain.sessionCopyAriaLabel":"复制会话 ID","composer.statusPlain.sessionCopyTooltip":"复制 ID","composer.statusPlain.sessionLabel":"会话：","composer.statusSlashCommand.description":"显示线程 ID、背景信息使用情况以及额度","composer.statusSlashCommand.title":"状态","composer.submit.blockedDialogOk":"确定","composer.submit.blockedDialogTitle":"无法发送消息","composer.submit.emptyMessage":"输入消息以启动","composer.submit.imageInputsUnsupported":"请移除图片或切换模型后再发送此消息。","composer.submit.loadingLocalConfig":"正在加载…","composer.submit.missingCloudConfig":"云端环境为必选项","composer.submit.missingCloudTurn":"无法跟进此任务","composer.submit.noWorkspace":"添加项目以使用 Codex","composer.submit.waitForImageUploads":"图片正在上传…","composer.submitButtonTooltip.send":"发送","composer.submitButtonTooltip.stop":"停止","composer.worktreeEnvironment.create":"创建本地环境","composer.worktreeEnvironment.default":"默认环境","composer.worktreeEnvironment.error":"加载环境时出错","composer.worktreeEnvironment.loading":"正在加载环境…","composer.worktreeEnvironment.title":"本地环境","composer.worktreeEnvironment.tooltip":"选择本地环境","composer.worktreeSetupFailed":"工作树设置失败，请检查 .codex/environments 下的设置脚本。","compoundButton.secondaryAction":"次要操作","copyButton.copied":"已复制","copyButton.copiedAriaLabel":"已复制","copyButton.copy":"复制","copyButton.copyAriaLabel":"复制","copyButton.copyCode":"复制代码","diff.actionButton.revertFile":"还原文件","diff.actionButton.revertHunk":"还原","diff.actionButton.revertSection":"还原全部","diff.actionButton.revertSectionLabel":"还原全部","diff.actionButton.stageFile":"暂存文件","diff.actionButton.stageHunk":"暂存","diff.actionButton.stageSection":"暂存全部","diff.actionButton.stageSectionLabel":"暂存全部","diff.actionButton.unstageFile":"对文件取消暂存","diff.actionButton.unstageHunk":"取消暂存","diff.actionButton.unstageSection":"对全部取消暂存","diff.actionButton.unstageSectionLabel":"对全部取消暂存","diff.fileHeader.toggle":"切换文件差异对比","electron.onboarding.login.apikey.cancel":"取消","electron.onboarding.login.apikey.continue":"继续","electron.onboarding.login.apikey.label":"OpenAI API 密钥","electron.onboarding.login.apikey.open":"输入 API 密钥","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"取消登录","electron.onboarding.login.chatgpt.continue":"继续使用 ChatGPT 登录","electron.onboarding.login.devbox":"连接到远程 SSH","electron.onboarding.login.error":"登录失败：{rawMessage}","electron.onboarding.login.snake.start":"玩贪吃蛇","electron.onboarding.login.sshConfig.cancel":"取消","electron.onboarding.login.sshConfig.continue":"继续","electron.onboarding.login.sshConfig.hostnameLabel":"SSH 主机名","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"与代理协同构建的最优方式","electron.onboarding.login.title":"欢迎使用 Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"继续","electron.onboarding.welcome.doubleLimits.description":"为庆祝 Codex 应用上线，你在 4 月 2 日前可享受 2 倍额度。","electron.onboarding.welcome.freego.description":"截至 3 月 2 日前可在套餐中免费使用 Codex——让我们开始一起构建吧。","electron.onboarding.welcome.new.title.anon":"欢迎","electron.onboarding.workspace.continue":"继续","electron.onboarding.workspace.empty":"添加项目以继续。","electron.onboarding.workspace.listLabel":"可用项目","electron.onboarding.workspace.loading":"正在加载项目…","electron.onboarding.workspace.openFolder":"添加项目","electron.onboarding.workspace.selectAll":"选择全部","electron.onboarding.workspace.skip":"跳过","electron.onboarding.workspace.skip.error":"无法创建新项目：{message}","electron.onboarding.workspace.skip.error.unknown":"未知错误","electron.onboarding.workspace.skipping":"正在创建新项目…","electron.onboarding.workspace.subtitle":"Codex 将能够在选定文件夹中编辑文件和运行命令。","electron.onboarding.workspace.title":"选择项目","errorPage.list.checkSettings":"尝试更新 IDE 设置","errorPage.list.configToml":"检查 config.toml 是否包含无效设置","errorPage.list.downloadExtension":"尝试下载扩展程序的其他版本","errorPage.list.runInWsl":"若出现兼容性问题，请在设置中禁用“在 WSL 中运行”功能​","execApprovalRequest.menu.runAlways":"是，且本次会话不再询问","execApprovalRequest.menu.runAlwaysWithAmendment":"是，且对于以 {command} 开头的命令不再询问","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"是，且对于以后续内容开头的命令不再询问","execApprovalRequest.menu.runOnce":"是","execApprovalRequest.prompt":"是否运行此命令？","execApprovalRequest.reject":"否","execFooter.exitCode":"退出码 {code}","execFooter.exitCode.unknown":"未知","execFooter.success":"成功","feedback.dialog.category.badResult":"结果异常","feedback.dialog.category.bug":"错误","feedback.dialog.category.goodResult":"结果正常","feedback.dialog.category.other":"其他","feedback.dialog.descriptionPlaceholder":"在此处描述问题","feedback.dialog.dismiss":"忽略","feedback.dialog.includeLogsLabel":"包含当前 Codex 会话日志","feedback.dialog.submit":"提交","feedback.dialog.submitError":"无法提交你的反馈。请稍后重试。","feedback.dialog.title":"反馈","feedback.dialog.uploadedMessage.existingIssue":"现有未解决问题","feedback.dialog.uploadedMessage.openIssue":"提交 GitHub 问题","feedback.dialog.uploadedMessage.withThread":"反馈已上传。如果问题持续存在，请{openIssueLink}或在 {existingIssueLink} 中提及线程 ID：","feedback.dialog.uploadedTitle":"反馈已上传","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"移除“{filename}”","header.back":"返回","header.recentChats":"任务","header.recentTasks.seeAll":"查看全部（{total} 个）","home.header.getPlus":"获取 Plus","home.hero.letsBuild":"开始构建","homePage.mainContent":"主要内容","imageAttachment.defaultName":"图片","imageAttachment.preview.close":"关闭图片预览","imageAttachment.removeAriaLabel":"移除“{filename}”","implementPlanRequest.option.implement":"是，实施此计划","implementPlanRequest.prompt":"实施此计划？","inbox.archived.deleteError":"无法删除归档运行记录","inbox.archived.deleteRun":"删除归档运行记录","inbox.archived.deleteSuccess":"已删除归档线程。请在<settingsLink>归档线程</settingsLink>中查看。","inbox.archived.inlineLabel.auto":"此线程已自动归档。<learnMoreLink>了解更多</learnMoreLink>","inbox.archived.inlineLabel.manual":"此线程已归档。","inbox.archived.noMessageFound":"找不到消息","inbox.automations.createError":"无法创建自动化","inbox.automations.deleteConfirm.cancel":"取消","inbox.automations.deleteConfirm.confirm":"删除自动化","inbox.automations.deleteConfirm.description":"此操作将永久删除该自动化并停止所有未来运行。","inbox.automations.deleteConfirm.title":"删除 {name}？","inbox.automations.deleteError":"无法删除自动化","inbox.automations.editTooltip":"编辑自动化","inbox.automations.inProgress":"正在进行中","inbox.automations.new":"新","inbox.automations.newToolbar":"新自动化","inbox.automations.pauseTooltip":"暂停自动化","inbox.automations.resumeTooltip":"恢复自动化","inbox.automations.startingNow":"正在启动","inbox.automations.startsIn":"开始时间：{startTime}","inbox.automations.status.active":"活跃","inbox.automations.status.paused":"已暂停","inbox.automations.status.runs":"{count} 次运行","inbox.automations.status.started":"开始时间：{date}","inbox.automations.updateError":"无法更新自动化操作","inbox.automations.workspaceFallback":"-","inbox.filter.all":"全部","inbox.filter.ariaLabel":"筛选收件箱项目","inbox.filter.unread":"未读","inbox.list.archived":"已归档","inbox.list.inProgress":"正在进行中","inbox.list.recent":"已完成","inbox.list.upNext":"已安排","inbox.mode.automations":"自动化","inbox.mode.automations.beta":"测试版","inbox.noDescription":"未提供描述","inbox.openThread":"打开线程","inbox.rightPanel.emptySubtitle":"通过设置任务计划实现工作自动化处理。","inbox.rightPanel.emptySubtitle.learnMore":"通过设置计划线程实现工作自动化处理。<link>了解更多</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# 个活跃的自动化操作}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"无未读自动化操作","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# 个未读自动化操作}}","inbox.rightPanel.emptyTitle":"未选择任何项目","inbox.rightPanel.noThread":"没有针对此项目的线程","inbox.rightPanel.quickStart.header":"从模板入手","inbox.untitled":"无标题收件箱项目","loadingPage.documentationLink":"文档","loadingPage.errorDescription":"Codex 运行时发生错误：​","loadingPage.errorDescription.documentation":"点击重新加载以重启 Codex 扩展程序，或查阅{documentationLink}获取其他帮助​。","loadingPage.errorSignal":"可尝试以下解决方案：","loadingPage.errorTitle":"出错了","loadingPage.openConfigToml":"打开 Config.toml","loadingPage.reload":"重新加载","localConversation.contextCompacted":"背景信息已自动压缩","localConversation.contextCompacting":"正在自动压缩背景信息","localConversation.forkedFromConversation":"已从 {threadTitle} 派生","localConversation.merge.autoResolve.failed":"无法请求自动解决：{error}","localConversation.merge.autoResolve.sent":"自动解决请求已发送","localConversation.merge.autoResolveMerge.missingConversation":"无活跃对话时无法自动解决合并冲突。","localConversation.merge.autoResolveMerge.request":"自动解决合并冲突","localConversation.modelChanged":"模型已从 {fromModel} 更改为 {toModel}。","localConversation.modelChanged.warning.line1":"在对话中途切换模型会降低性能表现。","localConversation.modelChanged.warning.line2":"背景信息可能会自动压缩。","localConversation.moveThread.createBranch.label":"创建分支","localConversation.moveToLocal.disabled.loading":"正在加载…","localConversation.moveToLocal.modal.continue":"继续","localConversation.moveToLocal.modal.destinationLabel":"移至","localConversation.moveToLocal.modal.retry":"重试","localConversation.moveToWorktree.modal.back":"返回","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"分支已存在。","localConversation.moveToWorktree.modal.branchesError":"无法加载分支","localConversation.moveToWorktree.modal.branchesLoading":"正在加载分支…","localConversation.moveToWorktree.modal.branchesRetry":"重试","localConversation.moveToWorktree.modal.continue":"继续","localConversation.moveToWorktree.modal.retry":"重试","localConversation.moveToWorktree.modal.trailingSlashError":"分支名不能以“/”结尾。","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"新分支","localConversation.personalityChanged":"已切换至{personality}个性","localConversation.planSummary.collapse":"折叠计划概要","localConversation.planSummary.collapseTooltip":"折叠","localConversation.planSummary.download":"下载套餐","localConversation.planSummary.expand":"展开计划概要","localConversation.planSummary.expandTooltip":"展开","localConversation.planSummary.openInNewWindow":"打开","localConversation.planSummary.openInNewWindow.tooltip":"在新窗口中打开","localConversation.planSummary.title":"套餐","localConversation.planSummary.titleWriting":"编写计划","localConversation.planSummary.viewPlan":"展开计划","localConversation.remoteTaskCreated":"已在 Codex Cloud 中创建{taskLink}","localConversation.remoteTaskCreated.task":"任务","localConversation.scrollToBottomButton":"滚动到底部","localConversation.sync.buttonLabel":"移交至本地","localConversation.sync.buttonLabel.tooltip":"在该工作树与本地结账之间移交变更。","localConversation.sync.modal.loading.title":"正在移交变更…","localConversation.sync.modal.noChanges":"无更改","localConversation.syncSetup.branchAriaLabel":"分支名称","localConversation.syncSetup.branchName":"分支名称","localConversation.syncSetup.branchPlaceholder.existing":"选择现有分支","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"正在加载分支…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"已检出","localConversation.syncSetup.checkoutClean":"当前分支 {branchName}","localConversation.syncSetup.checkoutDirty":"当前位于{branchName}，且存在未提交的更改","localConversation.syncSetup.checkoutError":"无法检出分支：{message}","localConversation.syncSetup.checkoutLabel":"当前在本地检出","localConversation.syncSetup.checkoutOnLocal":"移交至本地","localConversation.syncSetup.checkoutPending":"正在检出本地状态…","localConversation.syncSetup.checkoutUnavailable":"本地工作空间不可用","localConversation.syncSetup.checkoutUnknown":"本地分支不可用","localConversation.syncSetup.continue":"继续","localConversation.syncSetup.createBranchError":"无法设置移交分支：{message}","localConversation.syncSetup.error":"出错了：{message}","localConversation.syncSetup.error.workingTreeMissing":"无法快照工作树，请重新尝试进行移交。","localConversation.syncSetup.mode.ariaLabel":"选择分支模式","localConversation.syncSetup.mode.existing":"现有分支","localConversation.syncSetup.mode.new":"新建分支","localConversation.syncSetup.noBranches":"找不到分支","localConversation.syncSetup.overwriteError":"分支已创建但未完全移交，请先手动完成移交再本地检出。","localConversation.syncSetup.setPrefix":"设置前缀","localConversation.syncSetup.subtitle":"在本地测试和编辑工作树更改。<a>了解更多</a>","localConversation.syncSetup.success.checkedOut":"分支已创建并在本地检出","localConversation.syncSetup.success.notCheckedOut":"分支已创建","localConversation.syncSetup.title":"移交至本地分支","localConversation.syncWorktreeError.branchAriaLabel":"分支名称","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"选择移交目标分支后，重新尝试加载变更。","localConversation.syncWorktreeError.branchSetup.title":"更新分支","localConversation.syncWorktreeError.branchUpdate.cta":"更新并重试","localConversation.syncWorktreeError.branchUpdate.error":"无法更新分支：{message}","localConversation.syncWorktreeError.branchUpdate.unknown":"出错了：{message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"分支未在任何工作树中检出。","localConversation.syncWorktreeV2.applyUncommitted":"应用","localConversation.syncWorktreeV2.applyUncommitted.disabled":"你必须在本地检出分支后，方可应用未提交的更改","localConversation.syncWorktreeV2.branches.empty":"找不到分支","localConversation.syncWorktreeV2.branches.loading":"正在加载分支…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"更改移交分支","localConversation.syncWorktreeV2.changeBranch.error":"无法更改移交分支：{message}","localConversation.syncWorktreeV2.commandError.action.apply":"应用失败","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"覆盖工作树更改失败","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"覆盖本地更改失败","localConversation.syncWorktreeV2.commandError.back":"返回","localConversation.syncWorktreeV2.commandError.body":"移交时 Git 命令执行失败，请检查输出后重试。","localConversation.syncWorktreeV2.commandError.retry":"重试","localConversation.syncWorktreeV2.description":"在本地与此工作树间移交变更。<a>了解更多</a>。","localConversation.syncWorktreeV2.direction.ariaLabel":"选择移交方向","localConversation.syncWorktreeV2.error.generic":"移交过程出错，请重试。","localConversation.syncWorktreeV2.localBranchLabel":"本地","localConversation.syncWorktreeV2.noChanges":"正在计算变更","localConversation.syncWorktreeV2.noChanges.summary":"无更改","localConversation.syncWorktreeV2.overwrite.local":"覆盖本地更改","localConversation.syncWorktreeV2.overwrite.worktree":"覆盖工作树更改","localConversation.syncWorktreeV2.partial.action.applyFailed":"无法应用更改","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"无法覆盖本地更改","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"无法覆盖工作树更改","localConversation.syncWorktreeV2.partial.appliedLabel":"已应用","localConversation.syncWorktreeV2.partial.back":"返回","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"请解决冲突后重试。","localConversation.syncWorktreeV2.partial.conflictsLabel":"冲突","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# 个文件}}","localConversation.syncWorktreeV2.partial.retry":"重试","localConversation.syncWorktreeV2.partial.skippedLabel":"已跳过","localConversation.syncWorktreeV2.stateFailed.generic":"获取要移交的工作树变更时出错，请重试。","localConversation.syncWorktreeV2.stateFailed.title":"无法加载工作树更改","localConversation.syncWorktreeV2.statusError.diffUnknown":"无法加载工作树更改。","localConversation.syncWorktreeV2.statusError.retry":"重试","localConversation.syncWorktreeV2.statusError.title":"无法加载本地分支变更","localConversation.syncWorktreeV2.statusError.unknown":"分支状态暂不可用，请重试。","localConversation.syncWorktreeV2.success.apply":"已成功应用更改","localConversation.syncWorktreeV2.success.overwrite":"移交成功","localConversation.syncWorktreeV2.title":"移交变更","localConversation.syncWorktreeV2.worktreeLabel":"工作树","localConversation.userInputRequest.inProgress":"正在询问 {count, plural, other {问题}}","localConversation.userInputRequest.noAnswer":"未提供答案","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"已询问","localConversation.userInputRequest.summary.count":"{count, plural, other {# 个问题}}","localConversation.workedFor":"已处理 {time}","localConversation.worktreeBranchSetup.action.create":"创建","localConversation.worktreeBranchSetup.branchAriaLabel":"分支名称","localConversation.worktreeBranchSetup.branchPlaceholder.new":"新建分支","localConversation.worktreeBranchSetup.checkoutDisabled":"此分支已在{location}检出","localConversation.worktreeBranchSetup.checkoutError":"无法检出分支：{message}","localConversation.worktreeBranchSetup.createBranchError":"无法设置分支：{message}","localConversation.worktreeBranchSetup.error":"出错了：{message}","localConversation.worktreeBranchSetup.subtitle":"创建一个分支以提交更改、推送并从此工作树创建拉取请求。<a>了解更多</a>","localConversation.worktreeBranchSetup.title":"在此工作","localConversationPage.addWorktreeToSidebar.tooltip":"另存为项目，以便通过此工作树开启新的对话线程","localConversationPage.addWorktreeToSidebarError":"无法添加项目","localConversationPage.commitAndCreatePrModal.errorTitle":"提交并创建 PR 失败","localConversationPage.commitAndCreatePrModal.successTitle":"已提交并创建 PR","localConversationPage.commitAndPushModal.errorTitle":"提交并推送失败","localConversationPage.commitAndPushModal.successTitle":"已提交并推送更改","localConversationPage.commitCreatePr.open":"打开拉取请求","localConversationPage.commitCreatePr.successTitle":"已使用你的最新更改创建 PR","localConversationPage.createBranchButtonLabel":"在此创建分支","localConversationPage.createPrModal.baseBranch":"基准","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"创建拉取请求","localConversationPage.createPrModal.createDescription":"打开你的最新更改的拉取请求。","localConversationPage.createPrModal.errorTitle":"拉取请求失败","localConversationPage.createPrModal.headBranch":"头部分支","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"打开 PR","localConversationPage.createPrModal.successTitle":"拉取请求已创建","localConversationPage.createPrModal.title":"创建拉取请求","localConversationPage.createPrModal.viewDescription":"此分支已存在拉取请求。","localConversationPage.createPrModal.viewTitle":"拉取请求已就绪","localConversationPage.createPullRequestAuthGh":"验证 GitHub CLI：运行“gh auth login”","localConversationPage.createPullRequestBranchMissing":"分支信息不可用","localConversationPage.createPullRequestButtonLabel":"创建拉取请求","localConversationPage.createPullRequestButtonLabel.loading":"正在创建 PR…","localConversationPage.createPullRequestDefaultBranchMissing":"默认分支信息不可用","localConversationPage.createPullRequestError":"无法创建拉取请求","localConversationPage.createPullRequestExistingPullRequest":"此分支已存在拉取请求","localConversationPage.createPullRequestGhStatusMissing":"正在加载 GitHub CLI 状态…","localConversationPage.createPullRequestInstallGh":"安装 GitHub CLI (gh) 以创建 PR","localConversationPage.createPullRequestNoRepo":"未找到 git 存储库","localConversationPage.createPullRequestPushStatusMissing":"正在加载推送状态…","localConversationPage.createPullRequestSetUpstream":"创建 PR 前先推送此分支","localConversationPage.createPullRequestSuccessToast":"拉取请求已创建","localConversationPage.createPullRequestSwitchBranch":"在创建 PR 前先检出功能分支","localConversationPage.error.render":"呈现本地对话时出错","localConversationPage.error.toast":"未找到对话","localConversationPage.forcePushError":"无法强制推送","localConversationPage.generatePullRequestMessageError":"无法生成拉取请求标题和正文","localConversationPage.generatePullRequestMessageFailed":"无法生成拉取请求标题和正文。","localConversationPage.gitActionResult.branch":"分支","localConversationPage.gitActionResult.cancel":"取消","localConversationPage.gitActionResult.close":"关闭","localConversationPage.gitActionResult.tryAgain":"重试","localConversationPage.gitActions":"Git 操作","localConversationPage.newChat":"新聊天","localConversationPage.openInTarget":"打开方式","localConversationPage.openPrimaryTarget":"打开","localConversationPage.planItemsCompleted":"共 {totalItems, plural, other {# 个任务}}，已经完成 {completedItems} 个","localConversationPage.pushAuthError":"推送失败：需要身份验证","localConversationPage.pushBranchMissing":"分支信息不可用","localConversationPage.pushButtonLabel":"推送","localConversationPage.pushButtonLabel.loading":"正在推送…","localConversationPage.pushError":"无法推送变更","localConversationPage.pushModal.branchLabel":"分支","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"取消","localConversationPage.pushModal.confirm":"推送","localConversationPage.pushModal.description":"将你最新的提交内容推送至远程存储库。","localConversationPage.pushModal.errorTitle":"推送失败","localConversationPage.pushModal.forcePush":"强制推送","localConversationPage.pushModal.successTitle":"推送完成","localConversationPage.pushModal.title":"推送更改","localConversationPage.pushModal.tryAgain":"重试","localConversationPage.pushNoUpstream":"推送分支前先设置上游","localConversationPage.pushNoUpstreamError":"推送失败：未配置上游","localConversationPage.pushNothingToPush":"暂无新提交可推送","localConversationPage.pushRemoteChangedError":"推送失败：远程有新提交","localConversationPage.pushRemoteRejectedError":"推送被远程拒绝","localConversationPage.pushStatusMissing":"正在加载推送状态…","localConversationPage.pushSuccessToast":"已推送更改","localConversationPage.viewPullRequestButtonLabel":"查看 PR","localConversationPage.viewPullRequestButtonLabel.loading":"正在加载拉取请求…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# 个文件}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# 个列表}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# 个搜索}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"正在浏览","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"已浏览","localConversationTurn.exploration.accordion.header.complete.withCounts":"已浏览 {counts}","localConversationTurnStory.showContent":"显示内容","localConversationTurnStory.streamContent":"流媒体内容","localConversationTurnStory.toggleReasoning":"显示推理","localTaskRow.archiveError":"无法归档对话","localTaskRow.resumeError":"无法恢复任务","mermaidDiagram.ariaLabel":"Mermaid 流程图","mermaidDiagram.copySource":"复制 Mermaid 流程图","mermaidDiagram.originalCode":"Mermaid 源代码","notifications.permissions.description":"在需要通知权限时显示提醒","notifications.permissions.label":"启用权限通知","notifications.turnMode.always":"始终","notifications.turnMode.description":"设置 Codex 完成任务时的提醒","notifications.turnMode.label":"轮次完成通知","notifications.turnMode.off":"从不","notifications.turnMode.unfocused":"仅当应用失焦时","patchApprovalRequest.approve":"批准","patchApprovalRequest.menu.allowAlways":"是，且本次会话不再询问","patchApprovalRequest.menu.allowForSession":"是，且本次会话不再询问","patchApprovalRequest.menu.allowOnce":"是","patchApprovalRequest.prompt":"是否应用这些更改？","patchApprovalRequest.reject":"否","patchApprovalRequest.waitingForApproval":"正在等待对文件编辑的审批","pendingRequest.approvalExec.collapse":"折叠","pendingRequest.approvalExec.expand":"展开","pendingRequestStory.toastAnswer":"答案：{answer}","pendingRequestStory.toastApprovalTitle":"批准回复","pendingRequestStory.toastFollowupPrompt":"提示：{prompt}","pendingRequestStory.toastFollowupTitle":"跟进消息已发送","pendingRequestStory.toastNoAnswers":"未提供答案","pendingRequestStory.toastQuestion":"问题：{question}","pendingRequestStory.toastUnknownDecision":"未知","pendingRequestStory.toastUserInputTitle":"已提交答案","quickAction.request.codeReview.branches.new":"请根据{to}审查{from}上的更改","quickAction.request.codeReview.uncommitted.new":"请审查我未提交的更改","reasoningItem.thinking":"正在思考","reasoningItem.thought":"已完成思考","reasoningItem.thoughtWithElapsed":"已思考 {elapsed}","recentConversations.title":"最近的对话","recentTasks.worktreeInitFailedTitle":"工作树初始化失败","recentTasks.worktreeSettingUpTitle":"设置工作树","requestInputPanel.continue":"继续","requestInputPanel.dismiss":"忽略","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"在此输入","requestInputPanel.optionIndex":"{index}。","requestInputPanel.otherPlaceholder":"否，请告知 Codex 如何调整","requestInputPanel.selectedBadge":"已选","requestInputPanel.skip":"跳过","requestInputPanel.submit":"提交","review.commit.ariaLabel.includeUnstaged":"包含取消暂存的更改","review.commit.buttonLabel":"提交","review.commit.disabled.committing":"正在提交…","review.commit.disabled.loadingDiff":"正在加载差异…","review.commit.disabled.missingContext":"添加一些上下文以生成提交信息","review.commit.disabled.noChanges":"无可提交的更改","review.commit.disabled.noSelection":"选择要提交的更改","review.commit.disabled.unavailable":"提交目前不可用","review.commit.error":"无法提交更改","review.commit.form.changesToBeCommitted":"更改","review.commit.form.commitTo":"分支","review.commit.form.commitTo.none":"-","review.commit.form.continue":"继续","review.commit.form.title":"提交更改","review.commit.generate.emptyResponse":"无法生成提交信息。","review.commit.generate.failed":"无法生成提交信息：{error}","review.commit.generate.missingPrompt":"添加一些背景信息以生成提交信息。","review.commit.includeUnstaged":"包含取消暂存的更改","review.commit.loading.description":"请稍候，这可能需要一些时间…","review.commit.loading.step.commit.done":"已提交的更改","review.commit.loading.step.commit.pending":"正在提交更改","review.commit.loading.step.createPr.done":"已创建拉取请求","review.commit.loading.step.createPr.pending":"正在创建拉取请求","review.commit.loading.step.push.done":"已推送至分支 {branch}","review.commit.loading.step.push.pending":"正在推送至分支 {branch}","review.commit.loading.title.commit":"正在提交更改","review.commit.loading.title.createPr":"正在创建 PR","review.commit.loading.title.push":"正在推送更改","review.commit.messageLabel":"提交消息","review.commit.messagePlaceholder":"留空以自动生成提交消息","review.commit.nextSteps":"后续步骤","review.commit.nextSteps.commit":"提交","review.commit.nextSteps.commitAndCreate":"提交并创建 PR","review.commit.nextSteps.commitAndPush":"提交并推送","review.commit.nextSteps.prRequiresGh":"需要 GitHub CLI：{command}","review.commit.rows.changes":"更改","review.commit.rows.commitCount":"{count, plural, other {# 项提交}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# 项提交}} 和 {stats}","review.commit.rows.fileCount":"{count, plural, other {# 个文件}}","review.commit.state.error.body":"提交时出错。请检查你的 Git 状态，然后重试。","review.commit.state.error.title":"提交失败","review.commit.state.success.title":"更改已提交","review.commit.untracked.loadingStats":"正在加载未追踪的差异统计…","reviewFindingAttachments.count":"{count, plural, other {# 个结果}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"编辑你的配置以自定义代理行为","settings.agent.configuration.configToml.docs":"文档","settings.agent.configuration.configToml.restartNote":"编辑后重启 Codex 以应用更改","settings.agent.configuration.subtitle":"此设置对 Codex 的所有使用场景生效","settings.automations.banner.danger":"自动化任务以默认沙盒设置（当前为全权限）运行。全权限后台自动化存在较高风险，Codex 可能无需询问即修改文件、执行命令及访问网络。建议将沙盒设置为工作空间写入权限，并通过<rulesDocsLink>规则</rulesDocsLink>选择性定义代理可全权限运行的命令。","settings.automations.banner.defaultHowTo.default":"自动化任务以默认沙盒设置运行。若工具调用需修改工作空间外文件、访问网络或操作电脑应用，该操作将执行失败。可通过<rulesDocsLink>规则</rulesDocsLink>选择性允许特定命令在沙盒外运行。","settings.automations.banner.defaultHowTo.readOnly":"自动化任务以默认沙盒设置（当前为只读）运行。若工具调用需修改文件、访问网络或操作电脑应用，该操作将执行失败。建议将沙盒更新为工作空间写入权限。","settings.automations.cancel":"取消","settings.automations.create":"创建","settings.automations.cwdEmpty":"无可用项目文件夹","settings.automations.cwdLabel":"项目","settings.automations.cwdPlaceholder":"选择文件夹","settings.automations.cwdSubtitle":"如需使自动化在特定分支上运行，请在提示中指定。","settings.automations.delete":"删除","settings.automations.dialog.editTitle":"编辑自动化","settings.automations.dialog.newTitle":"新自动化","settings.automations.dialog.subtitle":"在后台自动处理重复性任务。Codex 将发现项添加至收件箱，若无内容上报则自动归档任务。<learnMoreLink>了解更多</learnMoreLink>","settings.automations.dialog.title":"创建自动化","settings.automations.executionCopy.git":"自动化任务在专用工作树上后台运行。","settings.automations.executionCopy.nonGit":"非版本控制项目的自动化任务直接在项目目录运行，建议使用 Git 以启用后台工作树运行。","settings.automations.executionEnvironment.local":"本地","settings.automations.executionEnvironment.worktree":"工作树","settings.automations.loading":"正在加载…","settings.automations.nameLabel":"名称","settings.automations.namePlaceholder":"查看 Sentry 问题","settings.automations.pause":"暂停","settings.automations.promptLabel":"提示","settings.automations.promptPlaceholder":"在 $Sentry 中查找崩溃记录","settings.automations.resume":"恢复","settings.automations.rruleSummaryFallback":"自定义安排","settings.automations.runNow":"测试","settings.automations.save":"保存","settings.automations.scheduleBadge.dayCount":"{count} 天","settings.automations.scheduleBadge.interval":"{count} 小时","settings.automations.scheduleBadge.weekdays":"工作日","settings.automations.scheduleBadge.weekends":"周末","settings.automations.scheduleHeader":"安排","settings.automations.scheduleHours":"小时","settings.automations.scheduleLabel":"运行间隔","settings.automations.scheduleMode.daily":"每天","settings.automations.scheduleMode.interval":"时间间隔","settings.automations.scheduleModeLabel":"计划类型","settings.automations.scheduleSummary.daily":"每天 {time}","settings.automations.scheduleSummary.interval":"每 {count} 小时","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# 天}}","settings.automations.scheduleSummary.intervalDays":"{days} {interval}","settings.automations.scheduleSummary.intervalHourly":"每小时","settings.automations.scheduleSummary.singleDay":"{day}（时间：{time}）","settings.automations.scheduleSummary.weekdays":"工作日 {time}","settings.automations.scheduleSummary.weekdaysLabel":"工作日","settings.automations.scheduleSummary.weekends":"周末 {time}","settings.automations.scheduleSummary.weekendsLabel":"周末","settings.automations.scheduleSummary.weekly":"{days}（时间：{time}）","settings.automations.scheduleWeekdays":"启用","settings.automations.weekdayState.excluded":"已排除","settings.automations.weekdayState.included":"已包含","settings.conversationDetail.steps":"步骤","settings.conversationDetail.steps.description":"隐藏命令和输出","settings.conversationDetail.stepsWithCommands":"带代码命令的步骤","settings.conversationDetail.stepsWithCommands.description":"显示命令，折叠输出","settings.conversationDetail.stepsWithOutput":"带代码输出的步骤","settings.conversationDetail.stepsWithOutput.description":"显示命令并展开输出","settings.dataControls.archivedChats.dateTime":"{date}，{time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}，{time} • {repo}","settings.dataControls.archivedChats.empty":"暂无已归档的聊天。","settings.dataControls.archivedChats.error":"无法加载已归档的聊天。","settings.dataControls.archivedChats.loading":"正在加载已归档的聊天…","settings.dataControls.archivedChats.unarchive":"取消归档","settings.dataControls.archivedChats.unarchiveError":"无法取消归档聊天","settings.dataControls.archivedChats.unarchiveSuccess":"取消归档线程。<viewNowLink>立即查看</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"线程已取消归档。","settings.dataControls.archivedChats.untitled":"无标题聊天","settings.dataControls.archivedChats.viewNow":"立即查看","settings.editRow.headerPlaceholder":"键","settings.editRow.removeEntry":"移除条目","settings.editRow.valuePlaceholder":"值","settings.general.appearance":"外观","settings.general.appearance.codeFont":"代码字体","settings.general.appearance.codeFont.description":"调整所有聊天和差异对比中使用的代码字体和大小","settings.general.appearance.codeFontFamily":"代码字体","settings.general.appearance.codeFontSize":"代码字体大小","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"将窗口背景设为纯色而非系统半透明效果","settings.general.appearance.opaqueWindows.label":"使用不透明窗口背景","settings.general.appearance.sansFontFamily":"无衬线字体族","settings.general.appearance.sansFontFamily.description":"调整用于 Codex UI 的字体","settings.general.appearance.sansFontSize":"无衬线字体大小","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"在 GPT-5.3-Codex-Spark 运行首轮任务时显示全屏庆祝特效","settings.general.appearance.sparkCelebrationEffects.label":"火花庆祝特效","settings.general.appearance.theme":"主题","settings.general.appearance.theme.dark":"深色","settings.general.appearance.theme.description":"使用浅色、深色，或匹配系统设置","settings.general.appearance.theme.light":"浅色","settings.general.appearance.theme.system":"系统","settings.general.appearance.usePointerCursors.description":"悬停交互元素时切换为指针光标","settings.general.appearance.usePointerCursors.label":"使用指针光标","settings.general.enterBehavior.description":"启用后，长文本提示需按 {modifierSymbol} + 回车键发送。","settings.general.enterBehavior.label":"需按 {modifierSymbol} + 回车键发送长文本提示","settings.general.experimentalFeatures":"实验性质功能（测试版）","settings.general.experimentalFeatures.empty":"暂无可用的测试版实验性质功能。","settings.general.experimentalFeatures.loading":"正在加载实验性质功能……","settings.general.experimentalFeatures.restartNote":"重启 Codex 以应用实验性质功能变更","settings.general.experimentalFeatures.toggle":"切换 {featureName}","settings.general.followUpQueueMode.description":"在 Codex 运行时排队跟进任务，或引导当前运行。按 {invertFollowUpShortcutLabel} 可对单条消息执行相反操作。","settings.general.followUpQueueMode.interrupt":"引导","settings.general.followUpQueueMode.label":"跟进行为","settings.general.followUpQueueMode.queue":"排队","settings.general.notifications":"通知","settings.general.power.preventSleepWhileRunning.description":"在 Codex 运行任务线程时，让你的电脑保持唤醒状态。","settings.general.power.preventSleepWhileRunning.label":"运行时防止系统休眠","settings.git.branchPrefix.ariaLabel":"分支前缀","settings.git.branchPrefix.description":"在 Codex 中创建新分支时使用的前缀","settings.git.branchPrefix.label":"分支前缀","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"保存分支前缀失败","settings.git.branchPrefix.save.success":"已保存分支前缀","settings.git.commitInstructions.ariaLabel":"提交指令","settings.git.commitInstructions.description":"已添加到提交信息生成提示中","settings.git.commitInstructions.label":"提交指令","settings.git.commitInstructions.placeholder":"添加提交消息指引…","settings.git.commitInstructions.save":"保存","settings.git.commitInstructions.save.error":"无法保存提交指令","settings.git.commitInstructions.save.success":"已保存提交指令","settings.git.forcePush.ariaLabel":"始终强制推送","settings.git.forcePush.description":"从 Codex 推送时使用 --force-with-lease 参数","settings.git.forcePush.label":"始终强制推送","settings.git.forcePush.save.disabled":"始终强制推送已禁用","settings.git.forcePush.save.enabled":"始终强制推送已启用","settings.git.forcePush.save.error":"无法保存强制推送设置","settings.git.prInstructions.ariaLabel":"拉取请求指令","settings.git.prInstructions.description":"已附加到由 Codex 创建的拉取请求正文中","settings.git.prInstructions.label":"拉取请求指令","settings.git.prInstructions.placeholder":"添加拉取请求指引…","settings.git.prInstructions.save":"保存","settings.git.prInstructions.save.error":"无法保存拉取请求指令","settings.git.prInstructions.save.success":"已保存拉取请求指令","settings.ide.defaultOpenTarget.description":"默认打开文件和文件夹的位置","settings.ide.defaultOpenTarget.label":"默认打开目标","settings.ide.defaultOpenTarget.placeholder":"未找到目标","settings.ide.language.auto":"自动检测","settings.ide.language.autoOption":"自动检测","settings.ide.language.description":"应用 UI 语言","settings.ide.language.label":"语言","settings.ide.language.search":"搜索语言","settings.layout.actionButton":"重启扩展功能","settings.layout.actionTitle":"操作设置","settings.layout.fullWidthTitle":"设置（全宽）","settings.layout.title":"设置","settings.localEnvironments.actions.add":"添加操作","settings.localEnvironments.actions.add.description":"从工具栏创建新命令以运行。","settings.localEnvironments.actions.add.save":"保存","settings.localEnvironments.actions.empty":"添加操作，以便从本地工具栏运行命令。","settings.localEnvironments.actions.icon.debug":"调试","settings.localEnvironments.actions.icon.run":"运行","settings.localEnvironments.actions.icon.test":"测试","settings.localEnvironments.actions.icon.tool":"工具","settings.localEnvironments.actions.item.button.delete":"删除","settings.localEnvironments.actions.item.command":"操作脚本","settings.localEnvironments.actions.item.name":"名称","settings.localEnvironments.actions.item.platforms":"平台","settings.localEnvironments.actions.item.platforms.help":"仅在特定操作系统上运行。","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"平台选择","settings.localEnvironments.actions.item.platforms.specific":"平台特定","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"删除","settings.localEnvironments.actions.title":"操作","settings.localEnvironments.breadcrumb.back":"返回","settings.localEnvironments.breadcrumb.edit":"编辑","settings.localEnvironments.breadcrumb.root":"环境","settings.localEnvironments.environment.actions.description":"这些操作可以运行任意命令并将显示在标头中。","settings.localEnvironments.environment.actionsLabel":"操作","settings.localEnvironments.environment.create":"创建本地环境","settings.localEnvironments.environment.defaultName":"本地","settings.localEnvironments.environment.edit":"编辑本地环境","settings.localEnvironments.environment.empty":"尚未针对此项目配置任何本地环境。","settings.localEnvironments.environment.name":"名称","settings.localEnvironments.environment.setup":"设置脚本","settings.localEnvironments.environment.setup.description":"此脚本将在工作树创建时运行。","settings.localEnvironments.environment.setup.hint":"在项目根中运行。","settings.localEnvironments.environment.setup.platformOverrides":"平台覆盖","settings.localEnvironments.environment.setup.platformOverrides.add":"添加 {platform} 设置脚本","settings.localEnvironments.environment.setup.platformOverrides.description":"覆盖特定操作系统的默认脚本。","settings.localEnvironments.environment.setup.platformOverrides.remove":"移除","settings.localEnvironments.environment.setup.script":"脚本","settings.localEnvironments.environment.title":"环境详细信息","settings.localEnvironments.file.missing":"保存以首次创建此文件。","settings.localEnvironments.file.parseError":"无法解析现有文件。保存内容会将其覆盖。（{error}）","settings.localEnvironments.file.path":"文件：{path}","settings.localEnvironments.file.readError":"无法加载本地环境数据。（{error}）","settings.localEnvironments.file.title":"本地环境文件","settings.localEnvironments.loading.body":"正在获取项目配置。","settings.localEnvironments.loading.title":"正在加载本地环境","settings.localEnvironments.preview.devOnly":"（仅限开发环境）","settings.localEnvironments.preview.save":"保存","settings.localEnvironments.preview.saveError":"无法保存文件。（{error}）","settings.localEnvironments.preview.title":"预览","settings.localEnvironments.save.disabled.name":"添加环境名称以保存。","settings.localEnvironments.save.disabled.noChanges":"没有可保存的更改。","settings.localEnvironments.save.disabled.saving":"正在保存…","settings.localEnvironments.save.success":"已保存本地环境","settings.localEnvironments.unavailable.body":"我们无法加载此项目的本地环境设置。","settings.localEnvironments.unavailable.title":"本地环境不可用","settings.localEnvironments.workspace.add":"添加项目","settings.localEnvironments.workspace.title":"项目","settings.localEnvironments.workspaceSelect.addLabel":"添加环境","settings.localEnvironments.workspaceSelect.description":"本地环境用于指示 Codex 如何为项目设置工作树。{learnMore}","settings.localEnvironments.workspaceSelect.empty":"尚无项目。添加一个项目以配置本地环境。","settings.localEnvironments.workspaceSelect.errorLabel":"环境待处理","settings.localEnvironments.workspaceSelect.learnMore":"了解更多","settings.localEnvironments.workspaceSelect.listLabel":"可用项目","settings.localEnvironments.workspaceSelect.loading":"正在加载项目。","settings.localEnvironments.workspaceSelect.loadingLabel":"正在加载环境","settings.localEnvironments.workspaceSelect.title":"选择项目","settings.localEnvironments.workspaceSelect.viewAction":"查看","settings.mcp.addServer":"添加服务器","settings.mcp.app.configure":"配置","settings.mcp.app.connect":"连接","settings.mcp.apps.refresh":"刷新","settings.mcp.detail.addArgument":"添加参数","settings.mcp.detail.addEnvVar":"添加环境变量","settings.mcp.detail.addEnvVarPassthrough":"添加变量","settings.mcp.detail.args":"参数","settings.mcp.detail.back":"返回","settings.mcp.detail.command":"启动命令","settings.mcp.detail.cwd":"工作目录","settings.mcp.detail.docs":"打开 MCP 文档","settings.mcp.detail.docs.link":"文档","settings.mcp.detail.envVarPassthrough":"环境变量传递","settings.mcp.detail.envVars":"环境变量","settings.mcp.detail.http.addEnvHeader":"添加变量","settings.mcp.detail.http.addHeader":"添加标头","settings.mcp.detail.http.bearerToken":"Bearer 令牌环境变量","settings.mcp.detail.http.envHeaders":"来自环境变量的标头","settings.mcp.detail.http.headers":"标头","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"名称","settings.mcp.detail.save":"保存","settings.mcp.detail.switchTransportNotice":"如需切换 MCP 服务器类型，请先卸载当前配置。","settings.mcp.detail.titleExisting":"更新 {name} MCP","settings.mcp.detail.titleNew":"连接至自定义 MCP","settings.mcp.detail.transport.http":"流式 HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"卸载","settings.mcp.empty":"未连接自定义 MCP 服务器","settings.mcp.myServers":"自定义服务器","settings.mcp.partnerServer.description.figma":"通过引入完整的 Figma 设计背景信息来生成更优质的代码","settings.mcp.partnerServer.description.github":"集成 GitHub API 以自动化工作流并提取数据","settings.mcp.partnerServer.description.linear":"集成 Linear 的问题追踪和项目管理功能","settings.mcp.partnerServer.description.notion":"阅读文档、更新页面、管理任务","settings.mcp.partnerServer.description.playwright":"集成浏览器自动化功能以设计和测试用户界面。","settings.mcp.partnerServer.install":"安装","settings.mcp.partnerServer.installAndAuthenticate":"安装并进行身份验证","settings.mcp.partnerServer.logoAlt":"“{label}”徽标","settings.mcp.partnerServer.manage":"管理","settings.mcp.partnerServer.vendor":"操作者：{vendor}","settings.mcp.recommendedServers":"推荐的服务器","settings.mcp.restartApp":"重启","settings.mcp.restartExtension":"重启扩展功能","settings.mcp.server.enable":"启用","settings.mcp.server.login":"进行身份验证","settings.mcp.server.settings":"设置","settings.multiselect.createOption":"创建“{value}”","settings.multiselect.removeOption":"移除","settings.nav.account":"帐户","settings.nav.agent":"配置","settings.nav.ariaLabel":"设置","settings.nav.back":"返回应用","settings.nav.data-controls":"已归档线程","settings.nav.environments":"云端环境","settings.nav.externalTooltip":"[alpha] 在浏览器中打开","settings.nav.general-settings":"常规","settings.nav.git-settings":"Git","settings.nav.local-environments":"环境","settings.nav.mcp-settings":"MCP 服务器","settings.nav.notImplemented":"[alpha] 在测试版中不可用","settings.nav.personalization":"个性化","settings.nav.skills-settings":"技能","settings.nav.usage-analytics":"使用情况与分析","settings.nav.worktrees":"工作树","settings.openSourceLicenses.back":"返回","settings.openSourceLicenses.loading":"正在加载…","settings.openSourceLicenses.missing":"找不到第三方声明。","settings.openSourceLicenses.notSupported":"此主机中不可用。","settings.openSourceLicenses.rowDescription":"捆绑依赖项的第三方声明","settings.openSourceLicenses.rowLabel":"打开源许可证","settings.openSourceLicenses.subtitle":"本应用所含依赖项的第三方声明","settings.openSourceLicenses.title":"打开源许可证","settings.openSourceLicenses.view":"查看","settings.personalization.agents.description":"编辑用于将 Codex 调整至适合你需求的指令。{learnMore}","settings.personalization.agents.learnMore":"了解更多","settings.personalization.agents.loadError":"无法加载 agents.md。","settings.personalization.agents.loading":"正在加载 agents.md…","settings.personalization.agents.placeholder":"添加自定义指令…","settings.personalization.agents.retry":"重试","settings.personalization.agents.save":"保存","settings.personalization.agents.save.error":"无法保存 agents.md","settings.personalization.agents.save.success":"已保存 agents.md","settings.personalization.agents.title":"自定义指令","settings.personalization.personality.description":"选择 Codex 回复的默认语气","settings.personalization.personality.label":"个性","settings.sample.contentBody":"使用此布局构建间距统一的设置面板。","settings.sample.contentTitle":"示例内容区块","settings.section.account":"帐户","settings.section.agent":"配置","settings.section.data-controls":"已归档线程","settings.section.environments":"云端环境","settings.section.external":"测试版期间在你的浏览器中打开","settings.section.general-settings":"常规","settings.section.git-settings":"Git","settings.section.local-environments":"环境","settings.section.mcp-settings":"MCP 服务器","settings.section.mcp-settings.docs":"文档","settings.section.mcp-settings.subtitle":"连接外部工具和数据源。","settings.section.personalization":"个性化","settings.section.skills-settings":"技能","settings.section.unavailable":"在测试版中尚不可用","settings.section.usage-analytics":"使用情况与分析","settings.section.worktrees":"工作树","settings.threadDetail.description":"选择线程中命令输出的显示量","settings.threadDetail.label":"线程详细信息","settings.worktrees.conversation.untitled":"无标题对话","settings.worktrees.delete.error":"无法删除工作树","settings.worktrees.empty.body":"Codex 创建的工作树将显示在此处。","settings.worktrees.empty.title":"尚无工作树","settings.worktrees.error.body":"加载工作树时出错。","settings.worktrees.error.retry":"重试","settings.worktrees.error.title":"无法加载工作树","settings.worktrees.loading.body":"正在获取工作树详细信息。","settings.worktrees.loading.title":"正在加载工作树","settings.worktrees.repository.loading":"正在加载存储库元数据…","settings.worktrees.repository.unknown":"未知存储库","settings.worktrees.row.conversations":"对话","settings.worktrees.row.conversations.empty":"无关联到此工作树的对话。","settings.worktrees.row.conversations.loading":"正在加载对话…","settings.worktrees.row.delete":"删除","settings.worktrees.row.title":"工作树","sidebarElectron.addWorkspaceRoot":"添加新项目","sidebarElectron.archiveThread":"归档线程","sidebarElectron.archiveThreadError":"无法归档线程","sidebarElectron.collapseFolder":"折叠文件夹","sidebarElectron.createStableWorktree.dialog.cancel":"取消","sidebarElectron.createStableWorktree.dialog.create":"创建","sidebarElectron.debugNavLink":"调试","sidebarElectron.editWorkspaceRootOptionName":"编辑名称","sidebarElectron.expandFolder":"展开文件夹","sidebarElectron.groupByMenu.recency":"时间顺序列表","sidebarElectron.groupByMenu.title":"整理","sidebarElectron.groupByMenu.workspace":"按项目","sidebarElectron.inboxRouteNavLink":"自动化","sidebarElectron.markThreadUnread":"标记为未读","sidebarElectron.missingWorkspaceRoot":"该项目文件夹已被删除或移动","sidebarElectron.newThread":"新线程","sidebarElectron.newThreadInGroup":"在 {folder} 中开始新线程","sidebarElectron.noRecentThreads":"无最近线程","sidebarElectron.noTasks":"无线程","sidebarElectron.noTasks.start":"添加新项目","sidebarElectron.noTasksWithFilter":"没有与筛选条件相符的线程","sidebarElectron.pinnedThreads":"置顶的线程","sidebarElectron.recentNavLink":"线程","sidebarElectron.recentThreads":"最近线程","sidebarElectron.removeWorkspaceRootOption":"移除","sidebarElectron.renameThread":"重命名线程","sidebarElectron.renameThreadDialogAriaLabel":"线程标题","sidebarElectron.renameThreadDialogCancel":"取消","sidebarElectron.renameThreadDialogPlaceholder":"添加标题…","sidebarElectron.renameThreadDialogSave":"保存","sidebarElectron.renameThreadDialogSubtitle":"保持简短且易于识别。","sidebarElectron.renameThreadDialogTitle":"重命名线程","sidebarElectron.renameThreadError":"无法重命名线程","sidebarElectron.renameWorkspaceRootOptionLabel":"显示名称","sidebarElectron.showLess":"折叠显示","sidebarElectron.showMenu.all":"所有线程","sidebarElectron.showMenu.relevant":"相关","sidebarElectron.showMenu.relevantHint":"仅显示当前分支、工作树或其他需要你关注的最新线程。","sidebarElectron.showMenu.title":"显示","sidebarElectron.showMenu.tooltip":"筛选、排序和整理线程","sidebarElectron.showMenu.trigger":"筛选边栏线程","sidebarElectron.showMore":"展开显示","sidebarElectron.skillsRouteNavLink":"技能","sidebarElectron.sortMenu.created":"已创建","sidebarElectron.sortMenu.title":"排序条件","sidebarElectron.sortMenu.updated":"已更新","sidebarElectron.taskNavigation":"自动化操作文件夹","sidebarElectron.tasksInFolder":"“{folder}”中的自动化操作","sidebarElectron.workspaceOptions":"{folder} 的项目操作","sidebarElectron.worktreeGroupTooltip":"这是 git 工作树","skills.appsPage.createSkill":"新技能","skills.appsPage.empty.skills":"找不到技能","skills.appsPage.search.skills":"搜索技能","skills.appsPage.search.skills.label":"搜索技能","skills.appsPage.section.installedApps":"已安装","skills.appsPage.section.skills":"技能","skills.appsPage.subheading":"赋予 Codex 更强大的能力。<link>了解更多</link>","skills.appsPage.tab.recommended":"推荐","skills.appsPage.tab.skills":"技能","skills.card.contentsError":"无法加载技能内容。","skills.card.disable":"禁用","skills.card.disableSuccess":"{skillName} 技能已禁用","skills.card.disabledBadge":"已禁用","skills.card.enable":"启用","skills.card.enableSuccess":"{skillName} 技能已启用","skills.card.loadingContents":"正在加载技能内容…","skills.card.more":"更多操作","skills.card.open":"打开","skills.card.removeFailed":"无法卸载技能","skills.card.removeSuccess":"{skillName} 技能已卸载","skills.card.toggleEnabledError":"无法更新技能","skills.card.try":"试用","skills.card.trySkill":"试用技能","skills.card.uninstall":"卸载","skills.hero.dotLabel":"前往幻灯片 {index}","skills.hero.next":"下一个精选技能","skills.hero.trySkill":"试用技能","skills.page.createSkill":"新技能","skills.page.empty":"找不到技能","skills.page.filteredEmpty":"没有符合筛选条件的技能","skills.page.filteredEmptyDescription":"尝试调整你的搜索内容或范围筛选条件","skills.page.heading":"技能","skills.page.loading":"正在加载技能…","skills.page.refreshSkills":"刷新","skills.page.refreshSkillsToUseNew":"刷新以使用新技能","skills.page.search":"搜索技能","skills.page.search.label":"搜索技能","skills.page.subheading":"赋予 Codex 更强大的能力。<link>了解更多</link>","skills.preview.copyPrompt":"复制提示","skills.preview.examplePrompt":"示例提示","skills.recommended.error":"无法加载推荐技能","skills.recommended.install":"安装","skills.recommended.installSkill":"安装技能","skills.recommended.installSuccess":"{skillName} 技能已安装","skills.recommended.installed":"已安装","skills.scope.admin":"管理员","skills.scope.adminInstalled":"管理员安装的技能","skills.scope.builtIn":"系统","skills.scope.personal":"个人","skills.scope.repo":"存储库","skills.scope.system":"系统","skills.scope.team":"Team","skills.scope.user":"用户","skills.section.installed":"已安装","skills.section.recommended":"推荐","story.slidingToggle.existing":"现有","story.slidingToggle.fromLocal":"来自本地","story.slidingToggle.new":"新","story.slidingToggle.toLocal":"到本地","terminal.close":"关闭终端","terminal.title":"终端","thinkingShimmer.default":"正在思考","threadEnvIcon.cloudTooltip":"此对话运行于 Codex Cloud 中。","threadEnvIcon.localTooltip":"此对话在本地运行。","threadEnvIcon.worktreeTooltip":"此对话运行于本地 git 工作树中。","threadHeader.archiveConfirmCancel":"取消","threadHeader.archiveConfirmConfirm":"归档","threadHeader.archiveConfirmSubtitle":"你之后可在归档线程中找到它","threadHeader.archiveConfirmTitle":"归档线程？","threadHeader.copyAppLink":"复制 Deeplink","threadHeader.copySessionId":"复制会话 ID","threadHeader.copyWorkingDirectory":"复制工作目录","threadHeader.forkIntoLocal":"派生到本地","threadHeader.forkIntoWorktree":"派生到新工作树","threadHeader.forkPendingWorktreePrompt":"将此对话派生到新工作树。","threadHeader.forkPendingWorktreeTitle":"已派生对话","threadHeader.forkThreadError":"无法派生线程","threadHeader.forkThreadRequiresGitRepo":"派生到新工作树需要 git 存储库","threadHeader.moreActions":"线程操作","threadPage.newThread":"新线程","threadPage.runAction.changeEnvironment":"更改环境","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} 操作","threadPage.runAction.environmentSelector.label":"选择环境","threadPage.runAction.label":"运行","threadPage.runAction.missing.label":"设置运行操作","threadPage.runAction.setup.commandLabel":"要运行的命令","threadPage.runAction.setup.description":"告知 Codex 如何安装依赖项并启动你的应用。","threadPage.runAction.setup.editMore":"环境设置","threadPage.runAction.setup.placeholder":"例如：npm install npm run","threadPage.runAction.setup.submit":"保存并运行","threadPage.runAction.setup.title":"运行","threadPage.runAction.tooltip.withEnvironment":"{environmentName} 操作","threadPage.toggleDiffPanel":"切换差异面板","threadPage.toggleTerminal":"切换终端","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"打开文件夹","toolSummaryForCmd.exploredFiles":"<verb>已列出的</verb>文件","toolSummaryForCmd.exploredFilesInPath":"<verb>已列出</verb> {path} 中的文件","toolSummaryForCmd.exploringFiles":"<verb>正在列出</verb>文件","toolSummaryForCmd.exploringFilesInPath":"<verb>正在列出</verb> {path} 中的文件","toolSummaryForCmd.ranGenericCommand":"<status>已运行命令</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>已运行</status> {command}{timer}","toolSummaryForCmd.read":"<verb>已读取</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>正在运行命令</status>{timer}","toolSummaryForCmd.runningTimer":"（{elapsed}）","toolSummaryForCmd.searchedFor":"<verb>已对</verb>“{query}”进行搜索","toolSummaryForCmd.searchedForFiles":"<verb>已搜索</verb>文件","toolSummaryForCmd.searchedForInPath":"<verb>已在</verb> {path} 中搜索“{query}”","toolSummaryForCmd.searchingFor":"<verb>正在搜索</verb>“{query}”","toolSummaryForCmd.searchingForFiles":"<verb>正在搜索</verb>文件","toolSummaryForCmd.searchingForInPath":"<verb>正在</verb> {path} 中搜索“{query}”","traceRecording.details.noteLabel":"发生此情况时你在执行什么操作？（可选）","traceRecording.details.notePlaceholder":"导航至大线程后反复切换标签页…","traceRecording.details.submit":"发送追踪","traceRecording.details.subtitle":"我们可以发送此性能追踪以帮助诊断性能问题。","traceRecording.details.title":"发送性能追踪？","traceRecording.progress.subtitle":"在此过程中保持 Codex 开启。","traceRecording.saving.title":"正在保存追踪…","traceRecording.startDetails.cancel":"取消","traceRecording.startDetails.submit":"确定，开始录制","traceRecording.startDetails.subtitle":"点击“确定”后，重现性能问题，然后点击悬浮的红色指示器停止并查看追踪。","traceRecording.startDetails.title":"追踪录制原理","traceRecording.stopButton.ariaLabel":"停止追踪录制","traceRecording.upload.successToast":"性能追踪已发送。","traceRecording.uploading.title":"正在上传追踪…","wham.diff.addComment":"添加评论","wham.diff.binaryFile":"未显示二进制文件","wham.diff.noContent":"无内容","wham.fileTag.deleted":"已删除","wham.fileTag.new":"新","wham.formattedRelativeDateTime.compactDaysAgo":"{value} 天","wham.formattedRelativeDateTime.compactHoursAgo":"{value} 小时","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} 分","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} 个月","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} 周","wham.formattedRelativeDateTime.compactYearsAgo":"{value} 年","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"正在处理你的任务","wham.whamProposedTask.title":"建议的任务","wham.whamProposedTask.useSuggestion":"使用建议","workspaceRootDialog.addError":"无法添加项目","workspaceRootDialog.cancel":"取消","workspaceRootDialog.confirmAdd":"添加项目","workspaceRootDialog.confirmPick":"使用项目","workspaceRootDialog.description":"输入 {host} 上用作项目的路径。","workspaceRootDialog.pathLabel":"项目路径","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"添加项目路径","workspaceRootDialog.title.pick":"选择项目路径","worktreeInitV2.cancel":"取消","worktreeInitV2.notification.failedTitle":"工作树设置失败","worktreeInitV2.output.empty":"正在等待输出…","worktreeInitV2.status.error":"工作树设置失败。","worktreeInitV2.status.running":"正在创建工作树并运行设置流程。","worktreeInitV2.status.runningFork":"正在创建工作树以派生此对话。","worktreeInitV2.status.success":"工作树已就绪。","worktreeInitV2.title":"正在创建工作树","worktreeInitV2.workLocallyInstead":"改为本地处理","worktreeRestoreBanner.body":"此线程的工作树已为节省磁盘空间而被移除","worktreeRestoreBanner.missing.body":"此线程的工作目录已不存在","worktreeRestoreBanner.missing.title":"当前工作目录缺失","worktreeRestoreBanner.restore.error":"无法还原工作树：{message}","worktreeRestoreBanner.restore.success":"工作树已还原","worktreeRestoreBanner.restoreCta":"还原工作树","worktreeRestoreBanner.title":"工作树已清空"};export{e as default};
+const e={"CopyButton.copyTooltip":"复制","app.sidebar.hide":"隐藏边栏","app.sidebar.show":"显示边栏","app.sidebar.tooltip":"切换边栏","appHeader.installUpdate":"更新","appSunset.body":"此版本应用已停止支持。请在<here>此处</here>下载最新版本。","appSunset.title":"要求更新","automation.updateDirective.create":"创建","automation.updateDirective.open":"打开","automation.updateDirective.untitled":"无标题自动化","automation.updateDirective.update":"更新","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# 次尝试}}","cloudTaskRow.archiveError":"归档任务失败","code.diff.requestChange":"请求更改","code.diffComment.cancel":"取消","code.diffComment.comment":"注释","code.diffComment.delete":"删除","code.diffComment.save":"保存","codeReviewAssistant.location":"{file}：{start}-{end}","codeReviewAssistant.noFindings":"未报告任何结果。","codex.alert.closeAriaLabel":"关闭","codex.appUpsellBanner.cbpApi.message":"用 Codex 应用加速构建，立即下载或{learnMoreLink}。","codex.appUpsellBanner.download":"下载","codex.appUpsellBanner.freeGo.message":"Codex 已包含在你的套餐中（有效期至 3 月 2 日）。试用 Codex 应用以加速开发。","codex.appUpsellBanner.later":"稍后","codex.appUpsellBanner.learnMoreLowercase":"了解更多","codex.appUpsellBanner.new":"新","codex.appUpsellBanner.proPlusBusiness.message":"在 4 月 2 日前试用 Codex 应用，享受 2 倍额度，立即下载或{learnMoreLink}。","codex.appUpsellBanner.title":"Codex 应用","codex.applyDropdown.header.changes":"更改","codex.applyDropdown.header.fileCount":"{count, plural, other {# 个文件}}","codex.applyDropdown.header.rows":"行","codex.applyDropdown.header.title":"应用更改","codex.applyDropdown.header.workspace":"项目","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} 个文件存在冲突：}}","codex.applyDropdown.results.empty":"未复制任何文件","codex.applyDropdown.results.skipped":"{count, plural, other {{count} 个文件已跳过：}}","codex.applyOrRevertBanner.apply":"应用","codex.applyOrRevertBanner.applyMessage":"是否应用更改并在本地继续？​","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"此任务创建于{environment}，可能无法直接应用​。","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"这些更改在{environment}中执行，可能无法直接应用​。","codex.applyOrRevertBanner.reapply":"重新应用","codex.applyOrRevertBanner.revert":"还原","codex.applyOrRevertBanner.revertMessage":"还原应用的更改？","codex.applyResultsDialog.applied":"已直接应用（{count} 个）","codex.applyResultsDialog.close":"关闭","codex.applyResultsDialog.conflicted":"存在冲突（{count} 个）","codex.applyResultsDialog.noDetails":"无可用的文件详细信息。","codex.applyResultsDialog.skipped":"已跳过（{count} 个）","codex.applyResultsDialog.title":"应用结果","codex.archiveInfo":"查看已归档的聊天：{dataControlsLink}。","codex.archiveInfo.dataControlsLink":"数据控制","codex.archiveInfo.electron":"查看已归档的聊天：{settingsLink}","codex.archiveInfo.extension":"在你的 .codex 文件夹中查看已归档的聊天。","codex.archiveInfo.settingsLink":"设置","codex.banner.content.description":"并行执行任务、全平台跟踪进度并通过 AI 审查拉取请求。","codex.banner.content.headline":"Codex 全面胜任。","codex.cloudTaskRow.archiveTask":"归档任务","codex.cloudTaskRow.confirmArchiveTask":"确认","codex.command.feedback":"反馈","codex.command.findInThread":"查找","codex.command.forceReloadSkills":"强制重新加载技能","codex.command.logOut":"注销","codex.command.manageTasks":"管理任务","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"返回","codex.command.navigateForward":"前进","codex.command.newThread":"新线程","codex.command.nextThread":"下一个线程","codex.command.openFolder":"打开文件夹","codex.command.openSkills":"前往技能","codex.command.openThreadOverlay":"弹出线程","codex.command.personalitySettings":"个性","codex.command.previousThread":"上一个线程","codex.command.settings":"设置","codex.command.toggleDiffPanel":"切换差异面板","codex.command.toggleSidebar":"切换边栏","codex.command.toggleTerminal":"切换终端","codex.commandGroup.app":"应用","codex.commandGroup.configure":"配置","codex.commandGroup.navigation":"导航","codex.commandGroup.panels":"面板","codex.commandGroup.skills":"技能","codex.commandGroup.thread":"线程","codex.commandGroup.workspace":"项目","codex.commandMenu.noResults":"无匹配项","codex.commandMenu.searchPlaceholder":"搜索命令","codex.commandMenu.suggestedGroup":"推荐","codex.commandMenu.switchWorkspace":"切换项目","codex.commandMenu.title":"命令菜单","codex.common.retry":"重试","codex.composer.searchBranches":"搜索分支","codex.dialog.basic.body":"这是基于 Radix Dialog 封装的简易模态对话框。","codex.dialog.basic.cancel":"取消","codex.dialog.basic.confirm":"确认","codex.dialog.basic.open":"打开对话框","codex.dialog.basic.title":"示例对话框","codex.dialog.long.close":"关闭","codex.dialog.long.line":"可滚动的第 {index} 行，用于展示对话框内的长内容。​","codex.dialog.long.open":"打开长对话框","codex.dialog.long.title":"长内容对话框","codex.dialog.unstyled.body":"本示例展示调用方如何完全控制对话框内容样式。","codex.dialog.unstyled.open":"打开无样式对话框","codex.dialog.unstyled.title":"无样式内容","codex.diff.openInEditorPrompt.openButton":"在编辑器中打开","codex.diff.openInEditorPrompt.singleLine":"此文件过大，无法在此显示。","codex.diffView.failedToDecodeBase64Diff":"Base64 差异解码失败","codex.diffView.filesChanged":"{fileCount, plural, other {# 个文件已更改}}","codex.diffView.imagePreviewAlt":"图片预览","codex.diffView.imagePreviewEmpty":"无图片","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"无差异数据","codex.diffView.pdfPreview.nextPage":"下一页","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"上一页","codex.diffView.pdfPreviewEmpty":"无 PDF 预览","codex.diffView.pdfPreviewError":"无法渲染 PDF 预览","codex.diffView.richPreviewDisable":"禁用富文本预览","codex.diffView.richPreviewEnable":"启用富文本预览","codex.diffView.richPreviewLoading":"正在加载预览…","codex.diffView.richPreviewToggle":"切换富文本预览","codex.diffView.switchToUnified":"切换至统一差异视图","codex.environmentSelector.noEnvironment":"无环境","codex.environments.environmentSettings":"环境设置","codex.environments.learnMore":"了解更多","codex.environments.listError":"无法加载环境。","codex.environments.noEnvironmentsFound":"未找到环境","codex.environments.searchError":"搜索环境失败。","codex.errorBoundary.genericError":"糟糕，出错了","codex.errorBoundary.goHome":"重试","codex.file.patch.missing":"无法为此文件构建补丁。","codex.gallery.automations.cwdLabel":"项目","codex.gallery.automations.nameLabel":"名称","codex.gallery.automations.namePlaceholder":"总结任务","codex.gallery.automations.promptLabel":"提示","codex.gallery.automations.promptPlaceholder":"描述 Codex 应执行的操作","codex.gallery.dialogs.automation.label":"自动化对话框","codex.gallery.dialogs.basic.body":"此布局适用于简单确认或简短表单。","codex.gallery.dialogs.basic.cancel":"取消","codex.gallery.dialogs.basic.confirm":"确认","codex.gallery.dialogs.basic.label":"基础对话框","codex.gallery.dialogs.basic.title":"示例对话框","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"描述问题","codex.gallery.dialogs.feedbackSubmission.bad":"结果异常","codex.gallery.dialogs.feedbackSubmission.bug":"错误","codex.gallery.dialogs.feedbackSubmission.good":"结果正常","codex.gallery.dialogs.feedbackSubmission.includeLogs":"包含当前 Codex 会话日志","codex.gallery.dialogs.feedbackSubmission.label":"反馈提交","codex.gallery.dialogs.feedbackSubmission.other":"其他","codex.gallery.dialogs.feedbackSubmission.placeholder":"在此处描述问题","codex.gallery.dialogs.feedbackSubmission.submit":"提交","codex.gallery.dialogs.feedbackSubmission.title":"反馈","codex.gallery.dialogs.feedbackSuccess.body":"反馈已上传。如果问题持续存在，请提交 GitHub 问题或在现有问题中提及线程 ID：","codex.gallery.dialogs.feedbackSuccess.dismiss":"忽略","codex.gallery.dialogs.feedbackSuccess.label":"反馈成功","codex.gallery.dialogs.feedbackSuccess.title":"反馈已上传","codex.gallery.dialogs.gitApplyResults.applied":"已成功应用 (2)","codex.gallery.dialogs.gitApplyResults.close":"关闭","codex.gallery.dialogs.gitApplyResults.conflicted":"存在冲突 (1)","codex.gallery.dialogs.gitApplyResults.label":"应用结果","codex.gallery.dialogs.gitApplyResults.title":"应用结果","codex.gallery.dialogs.gitPushError.body":"拉取最新更改，若确认远程历史可安全覆盖，则强制推送。","codex.gallery.dialogs.gitPushError.cancel":"取消","codex.gallery.dialogs.gitPushError.force":"强制推送","codex.gallery.dialogs.gitPushError.label":"推送错误","codex.gallery.dialogs.gitPushError.subtitle":"你的分支落后于原始分支/主分支","codex.gallery.dialogs.gitPushError.title":"无法推送变更","codex.gallery.dialogs.gitRevert.cancel":"取消","codex.gallery.dialogs.gitRevert.confirm":"还原","codex.gallery.dialogs.gitRevert.label":"还原更改","codex.gallery.dialogs.gitRevert.skip":"不再询问","codex.gallery.dialogs.gitRevert.subtitle":"此操作将撤销所有这些更改。","codex.gallery.dialogs.gitRevert.title":"是否还原更改？","codex.gallery.dialogs.longForm.label":"长文本对话框","codex.gallery.dialogs.proseModal.body":"此模态样式适用于长篇说明、指引流程或富内容区块。","codex.gallery.dialogs.proseModal.close":"关闭","codex.gallery.dialogs.proseModal.subtitle":"在此处分享长篇指南或文档。","codex.gallery.dialogs.proseModal.title":"文段模态","codex.gallery.dialogs.submitBlocked.label":"提交已被屏蔽","codex.gallery.dialogs.submitBlocked.message":"项目不可用，消息发送失败。","codex.gallery.dialogs.submitBlocked.ok":"确定","codex.gallery.dialogs.submitBlocked.title":"无法发送消息","codex.gallery.dialogs.title":"对话框","codex.gallery.dropdown.filterPlaceholder":"筛选项目","codex.gallery.dropdowns.actionRow":"操作行","codex.gallery.dropdowns.actionRow.disabled":"禁用的操作","codex.gallery.dropdowns.actionRow.primary":"主要操作","codex.gallery.dropdowns.actionRow.secondary":"次要操作","codex.gallery.dropdowns.actionRow.trigger":"显示操作","codex.gallery.dropdowns.basic":"基础下拉菜单","codex.gallery.dropdowns.basic.newFile":"新文件","codex.gallery.dropdowns.basic.newFolder":"新建文件夹","codex.gallery.dropdowns.basic.openSettings":"打开设置","codex.gallery.dropdowns.basic.title":"快速操作","codex.gallery.dropdowns.basic.trigger":"打开菜单","codex.gallery.dropdowns.basic.upload":"上传","codex.gallery.dropdowns.panel":"面板表面","codex.gallery.dropdowns.panel.apply":"应用","codex.gallery.dropdowns.panel.body":"审阅差异并应用到项目。","codex.gallery.dropdowns.panel.preview":"预览","codex.gallery.dropdowns.panel.title":"应用更改","codex.gallery.dropdowns.panel.trigger":"打开面板","codex.gallery.dropdowns.search":"可搜索下拉菜单","codex.gallery.dropdowns.search.first":"内测版通道","codex.gallery.dropdowns.search.second":"公测版分支","codex.gallery.dropdowns.search.third":"发布候选版本","codex.gallery.dropdowns.search.trigger":"筛选项目","codex.gallery.dropdowns.submenu":"带子菜单的下拉菜单","codex.gallery.dropdowns.submenu.optionA":"项目内测版","codex.gallery.dropdowns.submenu.optionB":"项目公测版","codex.gallery.dropdowns.submenu.optionC":"项目最终调整版","codex.gallery.dropdowns.submenu.primary":"分配所有者","codex.gallery.dropdowns.submenu.secondary":"移至","codex.gallery.dropdowns.submenu.tertiary":"归档","codex.gallery.dropdowns.submenu.trigger":"选择操作","codex.gallery.dropdowns.title":"下拉菜单","codex.gallery.inbox.automations.close":"关闭","codex.gallery.inbox.automations.popover.cardTitle":"管理自动化功能","codex.gallery.inbox.automations.popover.dialogTitle":"管理自动化功能","codex.header.settingsTooltip":"设置","codex.hunk.patch.error":"无法暂存","codex.hunk.patch.missing":"无法为此代码块构建补丁。","codex.hunk.patch.partialSuccess":"部分成功","codex.hunk.patch.revertError":"无法取消暂存","codex.hunk.patch.revertSuccess":"已成功取消暂存","codex.hunk.patch.success":"已成功暂存","codex.legal.autonomy.details":"有关详情，请查看{link}","codex.legal.autonomy.details.link":"Codex 文档","codex.legal.autonomy.title":"设定授予的自主权限程度","codex.legal.backButton":"返回","codex.legal.cloud.taskOne.meta":"openai/agi · 10 月 12 日","codex.legal.cloud.taskOne.title":"为新设计师讲解存储库","codex.legal.cloud.taskThree.meta":"openai/codex · 10 月 8 日","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"创建深色模式主题","codex.legal.cloud.taskTwo.meta":"openai/agi · 10 月 9 日","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"修复引导流程错误","codex.legal.continue.apikey":"继续","codex.legal.continueButton":"下一步","codex.legal.copilot.details":"你的 Copilot 套餐适用于模型调用、计费与速率限制。使用 Codex 扩展程序时需同时遵守 {oaiTos} 和 {gitHubTos}。","codex.legal.copilot.gitHubTosLink":"GitHub 服务条款","codex.legal.copilot.oaiTosLink":"OpenAI Codex 服务条款","codex.legal.copilot.title":"由 GitHub Copilot 提供支持","codex.legal.mistakes.review":"审查其编写的代码和执行的命令","codex.legal.mistakes.title":"Codex 也可能会犯错","codex.legal.powered.details":"使用套餐的速率限制和{link}","codex.legal.powered.details.link":"训练数据偏好设置","codex.legal.powered.title":"由你的 ChatGPT 帐户提供支持","codex.legal.step.cloud.subtitle":"将任务发送至 Codex 后台运行，让你保持专注，提高效率​。","codex.legal.step.cloud.title":"移交云端 Codex 处理","codex.legal.step.intro.subtitle":"Codex 能直接在存储库内导航、编辑、运行命令、执行测试，均由你的 ChatGPT 帐户提供支持。","codex.legal.step.intro.title":"在 IDE 中使用 Codex","codex.legal.step.todo.subtitle":"编写 TODO 注释并一键转为 Codex 任务。","codex.legal.step.todo.title":"将 TODO 转为 Codex 任务","codex.legal.todo.heading":"// TODO：实现架构","codex.localConversation.closeImagePreview":"关闭图片预览","codex.localConversation.userImageAttachment":"用户附件","codex.localTaskRow.archiveTask":"归档线程","codex.localTaskRow.awaitingApproval":"等待批准","codex.localTaskRow.awaitingResponse":"等待回复","codex.localTaskRow.confirmArchiveTask":"确认","codex.loggedOut.apiKeyPrompt.cancel":"取消","codex.loggedOut.apiKeyPrompt.confirm":"确定","codex.loggedOut.apiKeyPrompt.getKey":"获取 API 密钥","codex.loggedOut.apiKeyPrompt.inputLabel":"输入你的 OpenAI API 密钥","codex.loggedOut.apiKeyPrompt.placeholder":"sk-…","codex.loggedOut.cloudTasksDisabledWithApiKey":"已通过 API 密钥禁用云端任务","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"已通过 Copilot 和 API 密钥禁用云端任务","codex.loggedOut.signIn":"通过 ChatGPT 登录","codex.loggedOut.signIn.cancel":"取消登录","codex.loggedOut.signInWithCopilot":"通过 GitHub Copilot 登录","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"使用 API 密钥","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} 工具","codex.mcpTool.collapsedLabel.verb.called":"已调用","codex.mcpTool.collapsedLabel.verb.calling":"正在调用","codex.mcpTool.embeddedResource.contentLabel":"内容","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME 类型","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"工具未返回任何内容","codex.mcpTool.rawPayloadHeading":"原始 {server}.{tool} 工具调用负载","codex.menu.recent":"最近","codex.menu.seeAllHistory":"查看所有历史记录","codex.modelCapacityBanner.headline.noReset":"{modelName} 当前已满负荷运行。请稍后重试，或与其他模型新建对话。","codex.modelCapacityBanner.headline.withReset":"{modelName} 当前已满负荷运行。请在 {resetDate} 后重试，或与其他模型新建对话。","codex.modelCapacityBanner.title":"所选模型已满负荷运行","codex.patch.change.contentsDeleted":"内容已删除","codex.patch.change.created":"已创建","codex.patch.change.created-file":"文件已创建","codex.patch.change.creating":"正在创建","codex.patch.change.deleted":"已删除","codex.patch.change.deleted-file":"文件已删除","codex.patch.change.deleting":"正在删除","codex.patch.change.edited":"已编辑","codex.patch.change.edited-file":"已编辑的文件","codex.patch.change.editing":"正在编辑","codex.patch.change.noChanges":"无更改","codex.patch.change.rejected-add":"已拒绝","codex.patch.change.rejected-delete":"已拒绝","codex.patch.change.rejected-edit":"已拒绝","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"已完成 {completed} 个任务，共 {total} 个","codex.plan.todoListCreated":"已创建包含 {total} 个任务的待办事项清单","codex.profileDropdown.apiKeyAuth":"已通过 API 密钥登录","codex.profileDropdown.codexSettings":"Codex 设置","codex.profileDropdown.copilotAuth":"已通过 Copilot 登录","codex.profileDropdown.defaultAccountTitle":"默认帐户","codex.profileDropdown.enterBehavior":"按 {modifierSymbol} + 回车键发送长文本提示","codex.profileDropdown.enterBehaviorError":"无法更新设置","codex.profileDropdown.getPlus":"升级以获享更高限额","codex.profileDropdown.keyboardShortcuts":"键盘快捷方式","codex.profileDropdown.language":"语言","codex.profileDropdown.languageDefault":"自动检测","codex.profileDropdown.languageSearchPlaceholder":"搜索语言","codex.profileDropdown.languageUpdateError":"无法更新语言","codex.profileDropdown.logOut":"退出登录","codex.profileDropdown.mcp":"MCP 设置","codex.profileDropdown.openConfigToml":"打开 config.toml","codex.profileDropdown.openConfigToml.wsl":"在 WSL 环境中打开 config.toml","codex.profileDropdown.openExtensionSettings":"打开设置","codex.profileDropdown.openMcpSettings":"打开 MCP 设置","codex.profileDropdown.openOnStartup":"启动时打开","codex.profileDropdown.openOnStartupError":"无法更新设置","codex.profileDropdown.openSkillsSettings":"打开技能设置","codex.profileDropdown.personalAccountTitle":"个人帐户","codex.profileDropdown.queueFollowUps":"排队跟进任务","codex.profileDropdown.queueFollowUpsError":"无法更新设置","codex.profileDropdown.readDocs":"读取文档","codex.profileDropdown.readSkillsDocs":"读取文档","codex.profileDropdown.runInWsl":"在 WSL 中运行","codex.profileDropdown.runInWslError":"无法更新设置","codex.profileDropdown.runInWslTooltip":"在 WSL 中运行 Codex。推荐使用此方案以提升沙盒安全性和性能表现。","codex.profileDropdown.settings":"IDE 设置","codex.profileDropdown.settingsPage":"设置","codex.profileDropdown.signInWithOpenAI":"通过 ChatGPT 登录","codex.profileDropdown.skills":"技能设置","codex.profileDropdown.switchToCopilotAccount":"使用 Copilot 帐户","codex.profileDropdown.switchToOpenAIAccount":"使用 OpenAI 帐户","codex.profileDropdown.todoCodelens":"解决  TODO 注释中的问题","codex.profileDropdown.todoCodelensError":"无法更新设置","codex.profileDropdown.windowsDocumentation":"Windows 文档","codex.profileFooter.signedInFallback":"设置","codex.profileFooter.upgrade":"升级","codex.recentTasksMenu.clearSearch":"清空搜索","codex.recentTasksMenu.cloud":"云任务","codex.recentTasksMenu.count":"{count, plural, =0 {没有正在进行的任务} other {# 项任务正在进行中}}","codex.recentTasksMenu.empty":"尚无线程","codex.recentTasksMenu.errorCloud":"无法加载任务。","codex.recentTasksMenu.errorCloud.inline":"无法加载云任务。","codex.recentTasksMenu.filterAll":"全部","codex.recentTasksMenu.filterCloudTasks":"筛选云任务","codex.recentTasksMenu.filterTooltip":"按环境筛选任务","codex.recentTasksMenu.local":"本地任务","codex.recentTasksMenu.recent":"所有任务","codex.recentTasksMenu.search":"搜索最近任务","codex.recentTasksMenu.searchEmpty":"无结果","codex.recentTasksMenu.tooltip":"任务历史记录","codex.recentTasksMenu.trigger":"最近任务。{count, plural, other {# 正在进行中}}","codex.remoteConversation.applyDiff.applyCta":"应用更改","codex.remoteConversation.applyDiff.dropdownTitle":"将更改应用到本地分支","codex.remoteConversation.applyDiff.revertCta":"还原更改","codex.remoteConversation.closeImagePreview":"关闭图片预览","codex.remoteConversation.codexCloudTask":"你正在查看 <u>Codex Cloud</u> 任务","codex.remoteConversation.errorWithMessage":"错误：{message}","codex.remoteConversation.loadingImage":"正在加载图片","codex.remoteConversation.openInWeb":"在网页中打开","codex.remoteConversation.streaming":"开始使用","codex.remoteConversation.turnFailed":"运行此任务时出错","codex.remoteConversation.turnTab.loading":"尝试 {number}","codex.remoteConversation.turnTab.title":"尝试 {number}","codex.remoteConversation.userImageAttachment":"用户附件","codex.remoteConversation.viewPreviousTurns":"在网页中打开","codex.remoteConversation.viewPreviousTurns.buttonText":"打开","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"在网页中打开","codex.review.copyGitApplyCommand":"复制 git apply 命令","codex.review.copyGitApplyCommand.toast":"已将 git apply 命令复制到剪贴板","codex.review.diffTooLarge.description":"差异过大，无法在审核界面完整显示。","codex.review.diffTooLarge.title":"差异过大，无法显示","codex.review.expandOrCollapseDiffButton.collapse":"折叠全部差异","codex.review.expandOrCollapseDiffButton.expand":"展开全部差异","codex.review.expandOrCollapseDiffMenu.collapse":"折叠全部差异","codex.review.expandOrCollapseDiffMenu.expand":"展开全部差异","codex.review.fileSearch.clear":"清除文件筛选条件","codex.review.fileSearch.empty":"没有符合当前筛选条件的文件。","codex.review.fileSearch.label":"筛选文件","codex.review.fileSearch.placeholder":"筛选文件…","codex.review.filesChanged":"{num, plural, =0 {无已更改的文件} other {# 个文件已更改}}","codex.review.find.loadMore":"加载更多匹配项","codex.review.fullReview.hideFileTree":"隐藏文件树","codex.review.fullReview.showFileTree":"显示文件树","codex.review.header.moreOptions":"查看选项","codex.review.largeDiff.banner":"检测到大量差异：每次仅显示一个文件。","codex.review.loadFullFiles.disable":"不加载完整文件","codex.review.loadFullFiles.enable":"加载完整文件","codex.review.noDiff":"文件更改将在此处显示","codex.review.noDiff.gitInit.createRepository":"创建 Git 存储库","codex.review.noDiff.gitInit.creating":"正在创建…","codex.review.noDiff.gitInit.error":"Git 初始化失败：{message}","codex.review.noDiff.gitInit.success":"Git 存储库已创建","codex.review.noDiff.gitRepoRequired.description":"追踪并撤销此项目的更改","codex.review.noDiff.gitRepoRequired.title":"创建 Git 存储库","codex.review.noDiff.orNoLongerAvailable":"或者最新差异已不再可用","codex.review.noDiff.reverted":"上轮对话已还原","codex.review.noDiff.revertedOrCommitted":"上轮对话已还原或提交","codex.review.refreshGitQueries":"刷新","codex.review.revert.file.error":"无法还原 {path}","codex.review.revert.file.partialSuccess":"已部分还原 {path}","codex.review.revert.file.success":"已还原 {path}","codex.review.revert.hunk.error":"无法还原 {path} 中的代码块 {hunkNumber}","codex.review.revert.hunk.partialSuccess":"已部分还原 {path} 中的代码块 {hunkNumber}","codex.review.revert.hunk.success":"已还原 {path} 中的代码块 {hunkNumber}","codex.review.revert.section.error":"无法还原部分","codex.review.revert.section.partialSuccess":"已部分还原部分","codex.review.revert.section.success":"已还原部分","codex.review.revertDialog.cancel":"取消","codex.review.revertDialog.confirm":"确认","codex.review.revertDialog.message":"此操作将撤销所有这些更改。","codex.review.revertDialog.skip":"不再询问","codex.review.revertDialog.title":"是否还原更改？","codex.review.richPreview.disable":"禁用富文本预览","codex.review.richPreview.enable":"启用富文本预览","codex.review.source.cloud":"云端更改","codex.review.source.local.all":"全部分支更改","codex.review.source.local.lastTurn":"上一轮更改","codex.review.source.local.uncommitted":"未提交的更改","codex.review.source.worktree":"未提交的工作树更改","codex.review.stageFilter.empty.staged.description":"接受编辑内容并暂存","codex.review.stageFilter.empty.staged.title":"无暂存更改","codex.review.stageFilter.empty.unstaged.description":"代码更改将在此处显示","codex.review.stageFilter.empty.unstaged.title":"无未暂存更改","codex.review.stageFilter.staged":"已暂存","codex.review.stageFilter.staged.count":"已暂存 · {count}","codex.review.stageFilter.unstaged":"未暂存","codex.review.stageFilter.unstaged.count":"未暂存 · {count}","codex.review.switchToSplit":"切换至拆分差异视图","codex.review.switchToUnified":"切换至统一差异视图","codex.review.toggleDiffView":"切换差异视图","codex.review.wordDiffs.disable":"禁用文字差异","codex.review.wordDiffs.enable":"启用文字差异","codex.review.wrap.disable":"禁用自动换行","codex.review.wrap.enable":"启用自动换行","codex.section.patch.missing":"无法为此部分构建补丁。","codex.shell.collapse":"折叠 Shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"已复制 Shell 内容","codex.shell.copy.copyTooltip":"复制 Shell 内容","codex.shell.copyCommand":"复制命令","codex.shell.copyOutput":"复制输出","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"展开 Shell","codex.shell.name":"Shell","codex.shell.noOutput":"无输出","codex.signInFailed.message":"登录失败：{rawMessage}","codex.stories.toast.show":"显示弹窗","codex.stories.tooltip.basic":"这是一条工具提示","codex.stories.tooltip.hoverMe":"悬停在此处","codex.stories.tooltip.largerOffset":"此工具提示的偏移量较大​","codex.stories.tooltip.offsetButton":"偏移量较大​","codex.stories.tooltip.shortcutButton":"含快捷方式","codex.stories.tooltip.withShortcut":"切换终端","codex.taskRow.title":"新线程","codex.taskRowLayout.confirm":"确认","codex.threadFindBar.chatFilter":"搜索聊天","codex.threadFindBar.close":"关闭查找","codex.threadFindBar.diffFilter":"搜索差异","codex.threadFindBar.label":"在线程中查找","codex.threadFindBar.nextResult":"下一个结果","codex.threadFindBar.noResults":"0 个结果","codex.threadFindBar.placeholder":"搜索线程…","codex.threadFindBar.placeholder.extension":"搜索线程…","codex.threadFindBar.placeholder.review":"搜索差异…","codex.threadFindBar.placeholder.review.extension":"搜索差异…","codex.threadFindBar.previousResult":"上一个结果","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {# 个文件已更改}}","codex.unifiedDiff.inlineLargeFile":"内容过大，无法内联渲染","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"撤销","codex.unifiedDiff.revertPatchError":"无法还原更改","codex.unifiedDiff.revertPatchSuccess":"更改已还原","codex.unifiedDiff.reviewChangesSuffix":"更改","codex.unifiedDiff.reviewShort":"审核","codex.unifiedDiff.viewDiffTooltip":"审核","codex.upsellBanner.business.headline":"若想立即获得更多访问权限，请向管理员发送请求，或等待至{resetDate}。","codex.upsellBanner.cbp.headline":"若想立即获得更多访问权限，请向管理员发送请求。","codex.upsellBanner.cta.addCredits":"增加额度","codex.upsellBanner.cta.upgradeAccount":"升级","codex.upsellBanner.cta.viewUsage":"查看使用情况","codex.upsellBanner.free.trialHeadline":"你的额度将于 {resetDate}重置。如需继续使用 Codex 并获取 GPT-5.3-Codex 访问权限，请立即开启 Plus 免费试用。","codex.upsellBanner.freeOrGo.headline":"你的额度将于 {resetDate}重置。要继续使用 Codex，请立即升级至 Plus 套餐。","codex.upsellBanner.general.headline":"你的额度将于 {resetDate}重置。","codex.upsellBanner.general.title":"你的 Codex 消息限额已用尽","codex.upsellBanner.go.trialHeadline":"你的额度将于 {resetDate}重置。如需继续使用 Codex，请立即开启 Plus 免费试用。","codex.upsellBanner.plus.headline":"你的额度将于 {resetDate}重置。要继续使用 Codex，请增加额度或立即升级至 Pro 套餐。","codex.upsellBanner.pro.headline":"你的额度将于 {resetDate}重置。请增加额度以继续使用 Codex。","codex.userMessage.autoResolveSync":"自动解决冲突","codex.userMessage.commentCount":"{count, plural, other {# 个评论}}","codex.userMessage.copiedAriaLabel":"已复制","codex.userMessage.copiedTooltip":"已复制","codex.userMessage.copyAriaLabel":"复制消息","codex.userMessage.copyTooltip":"复制","codex.userMessage.implementPlan":"实施计划","codex.userMessage.noContent":"（无内容）","codex.userMessage.priorConversation":"参考历史对话","codex.userMessage.reviewMode":"审查模式","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"（{query}）","codex.webSearch.summary.verb.completed":"已搜索网页","codex.webSearch.summary.verb.inProgress":"正在搜索网页","codex.windowsInstallWslBanner.dismiss":"忽略","codex.windowsInstallWslBanner.installWslCta":"启用沙盒","codex.windowsInstallWslBanner.learnMore":"了解更多","codex.windowsSandboxBanner.content":"代理模式采用实验性 Windows 沙盒环境，以限制文件系统和网络访问权限。{sandboxLink}","codex.windowsSandboxBanner.title":"为代理模式启用沙盒","codex.windowsSubDropdown.windowsSandbox":"Windows 沙盒","codex.windowsSubDropdown.windowsSettings":"Windows 设置","codexUpgradeModal.body":"我们最新的前沿智能编码模型——更智能、更快速，更擅长通用技术工作。{link}","codexUpgradeModal.close":"关闭","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"了解更多","codexUpgradeModal.title":"GPT-5.3-Codex 上线","codexUpgradeModal.tryNewModel":"立即试用 GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"继续使用当前模型","commentAttachments.numComments":"{count, plural, other {# 个评论}}","commentAttachments.removeAriaLabel":"移除评论附件","common.close":"关闭","composer.addContext.openFilePickerError":"无法打开文件选择器","composer.addContextDropdown.ariaLabel":"添加文件等","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"添加文件等","composer.addPhotosAndFiles":"添加照片和文件","composer.atMentionList.emptyQuery":"输入相关内容以搜索文件","composer.atMentionList.loading":"正在搜索…","composer.atMentionList.noResults":"无结果","composer.attemptsSelector.option":"{count, plural, other {# 个版本}}","composer.attemptsSelector.tooltip":"Codex 并行尝试次数​","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"停止","composer.cloudFollowUp.cloud":"云端","composer.cloudFollowUp.local":"本地","composer.cloudFollowUp.whereRun":"后续任务应在何处运行？","composer.cloudTaskCreationError":"创建云任务时出错","composer.cloudTaskError":"创建任务时出错","composer.contextWindow.autoCompactionTooltipLine1":"Codex 自动压缩其背景信息","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"背景信息窗口：","composer.contextWindowUsageStatusFull":"{usage}% 已用","composer.contextWindowUsageStatusLeft":"{usage}% 已用（剩余 {remaining}%）","composer.contextWindowUsageTooltip":"已用 {usedTokens}k 标记，共 {contextWindow}k","composer.customCliTooltip":"使用自定义 CLI 可执行文件","composer.dictation.aria":"听写","composer.dictation.cancel.aria":"停止听写","composer.dictation.cancel.tooltip":"停止听写","composer.dictation.startError":"无法开始听写","composer.dictation.submit.aria":"转录并发送","composer.dictation.submit.tooltip":"转录并发送","composer.dictation.tooltip":"长按以听写","composer.dictation.transcribeError":"无法转录音频","composer.dictation.unsupported":"此设备不支持听写","composer.dropOverlay.holdShift":"长按 {key} 以拖放","composer.dropOverlay.shiftKey":"Shift","composer.environmentSelector.createNew":"新建","composer.environmentSelector.error":"加载环境时出错","composer.environmentSelector.goBack":"返回编辑器","composer.environmentSelector.title":"选择环境","composer.environmentSelector.tooltip":"选择云端环境","composer.feedbackSlashCommand.title":"反馈","composer.filePicker.selectFile":"选择文件","composer.filePicker.selectFiles":"选择文件","composer.followerTooltip":"要继续，请返回到发起此对话的窗口。","composer.footer.branchSwitch.checkoutError":"无法切换分支：{message}","composer.footer.branchSwitch.createAndCheckout":"创建并检出新分支…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"提交更改以创建并检出新分支","composer.footer.branchSwitch.createBranchError":"无法创建分支：{message}","composer.footer.branchSwitch.createDialog.ariaLabel":"分支名称","composer.footer.branchSwitch.createDialog.branchExistsError":"分支已存在。","composer.footer.branchSwitch.createDialog.close":"关闭","composer.footer.branchSwitch.createDialog.createAndCheckout":"创建并检出","composer.footer.branchSwitch.createDialog.placeholder":"新分支","composer.footer.branchSwitch.createDialog.title":"创建并检出分支","composer.footer.branchSwitch.createDialog.trailingSlashError":"分支名不能以“/”结尾。","composer.footer.branchSwitch.tooltip":"切换分支","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"提交 {fileCount, plural, other {# 个文件}} 中的更改以检出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"提交 ","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, other {# 个文件}} 中的更改以检出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.cancel":"取消","composer.footer.branchSwitch.uncommittedDialog.commit":"提交并切换分支…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"你对以下文件的更改将被检出操作覆盖：","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"请提交更改以继续","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"已选分支","composer.footer.branchSwitch.uncommittedDialog.title":"提交更改以切换分支","composer.footer.branchSwitch.uncommittedSummaryPrefix":"未提交的更改：{fileCount, plural, other {# 个文件}}","composer.forkSlashCommand.description":"将此线程派生到本地或新的工作树","composer.forkSlashCommand.option.local.description":"在新的本地线程中继续","composer.forkSlashCommand.option.local.title":"派生到本地","composer.forkSlashCommand.option.worktree.description":"在新工作树中继续","composer.forkSlashCommand.option.worktree.title":"派生到新工作树","composer.forkSlashCommand.title":"派生","composer.ideContextIndicator":"IDE 背景信息","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"包含 IDE 背景信息","composer.ideContextIndicator.tooltipToggle":"切换","composer.ideContextSlashCommand.disableDescription":"关闭 IDE 背景信息","composer.ideContextSlashCommand.enableDescription":"包含当前选择、打开的文件以及其他来自你 IDE 的背景信息","composer.ideContextSlashCommand.title":"IDE 背景信息","composer.imageInputsUnsupported":"此模型不支持图片输入，请尝试其他模型。","composer.imageUploadFailed":"无法上传图片","composer.includeIdeContextDropdown":"包含 IDE 背景信息","composer.includeIdeContextDropdown.ariaLabel":"包含 IDE 背景信息","composer.localCwdDropdown.addWorkspaceRoot":"添加新项目","composer.localCwdDropdown.noActiveRoot":"选择你的项目","composer.localCwdDropdown.noResults":"未找到任何文件夹","composer.localCwdDropdown.title":"选择你的项目","composer.localTaskError":"开启对话时出错","composer.mcpSlashCommand.description":"显示 MCP 服务器状态","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"未经身份验证","composer.mcpStatus.authOauth":"已通过身份验证 (OAuth)","composer.mcpStatus.authToken":"已通过身份验证（API 密钥）","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"关闭","composer.mcpStatus.disabled":"已禁用","composer.mcpStatus.emptyLabel":"服务器：","composer.mcpStatus.emptyValue":"未配置 MCP 服务器","composer.mcpStatus.enabled":"已启用","composer.mcpStatus.errorLabel":"状态：","composer.mcpStatus.errorValue":"无法加载 MCP 状态","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"代理","composer.mode.agentMode.auto.dropdownLabel":"代理","composer.mode.agentMode.auto.optionLabel":"代理","composer.mode.agentMode.changePermission":"切换模式","composer.mode.agentMode.custom":"自定义","composer.mode.agentMode.custom.dropdownLabel":"自定义","composer.mode.agentMode.custom.option":"自定义 (config.toml)","composer.mode.agentMode.custom.optionLabel":"自定义 (config.toml)","composer.mode.agentMode.customInfo.cancel":"取消","composer.mode.agentMode.customInfo.cli":"可通过 CLI 或直接编辑文件来调整这些设置​。","composer.mode.agentMode.customInfo.confirm":"使用自定义模式","composer.mode.agentMode.customInfo.description":"自定义模式将应用 <link>config.toml</link> 文件中定义的审批与沙盒策略​。","composer.mode.agentMode.customInfo.docs":"如需深入了解如何配置审批和沙盒策略，请参见<link>执行环境文档</link>.","composer.mode.agentMode.customInfo.refresh":"所有更改将在下次代理运行时生效。","composer.mode.agentMode.customInfo.title":"自定义模式如何运作","composer.mode.agentMode.fullAccess":"代理（完全访问权限）","composer.mode.agentMode.fullAccess.dropdownLabel":"代理（完全访问权限）","composer.mode.agentMode.fullAccess.optionLabel":"代理（完全访问权限）","composer.mode.agentMode.fullAccessConfirm.caution":"启用完全访问权限前请谨慎评估。此操作将显著增加数据丢失、泄露或异常行为的风险。","composer.mode.agentMode.fullAccessConfirm.confirm":"是，仍然继续","composer.mode.agentMode.fullAccessConfirm.description":"在完全访问权限模式下，Codex 可无需审批直接编辑计算机上的任意文件并运行网络命令。​","composer.mode.agentMode.fullAccessConfirm.goBack":"取消","composer.mode.agentMode.fullAccessConfirm.title":"启用完全访问权限？","composer.mode.agentMode.readOnly":"聊天","composer.mode.agentMode.readOnly.dropdownLabel":"聊天","composer.mode.agentMode.readOnly.optionLabel":"聊天","composer.mode.agentMode.tooltip":"切换模式","composer.mode.agentMode.tooltip.auto":"读取和编辑文件，并运行命令。","composer.mode.agentMode.tooltip.custom":"使用 config.toml 中的最新审批与沙盒策略​。","composer.mode.agentMode.tooltip.fullAccess":"Codex 可编辑当前项目以外的文件并通过网络访问执行命令，使用时请务必谨慎操作。","composer.mode.agentMode.tooltip.readOnly":"需要审批才能编辑文件和运行命令。","composer.mode.cloud.tooltip":"在云端环境中工作","composer.mode.contactAdmin":"如需获得更多访问权限，请联系管理员","composer.mode.local":"本地","composer.mode.local.learnMore":"了解更多","composer.mode.local.model.custom":"自定义","composer.mode.local.model.loadingModel":"正在加载模型","composer.mode.local.model.selecrReasoningEffort":"选择推理功能","composer.mode.local.model.selectModel":"选择模型","composer.mode.local.model.tooltip":"选择模型","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"高","composer.mode.local.reasoning.low.label":"低","composer.mode.local.reasoning.medium.label":"中","composer.mode.local.reasoning.minimal.label":"极低","composer.mode.local.reasoning.none.label":"无","composer.mode.local.reasoning.xhigh.label":"超高","composer.mode.localRemoteWhereRun":"选择任务的运行位置","composer.mode.newTask.header":"继续使用","composer.mode.rateLimit.day":"{days} 天","composer.mode.rateLimit.heading":"剩余额度​","composer.mode.rateLimit.hour":"{hours} 小时","composer.mode.rateLimit.minute":"{minutes} 分","composer.mode.rateLimit.modelSectionLabel":"{modelName} 限额：","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} 周限额}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} 周}}","composer.mode.remote.connectToCloud":"关联 Codex web","composer.mode.remote.connectToCloudDisabledTooltip":"通过 Codex web 配置环境以启用任务云端派发","composer.mode.remote.selectEnvironment":"选择环境","composer.mode.remote.sendToCloud":"发送至云端","composer.mode.remote.setupViaWeb":"通过 Codex web 设置环境","composer.mode.runInCloud":"云端","composer.mode.runInCloudWithEnvironment":"云端 · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"在云端环境中工作","composer.mode.segmentedToggle.local.tooltip":"在本地项目中开展工作","composer.mode.segmentedToggle.worktree.tooltip":"在并行工作树中工作","composer.mode.upgradeToPlus":"升级至 Plus","composer.mode.upgradeToPro":"升级至 Pro","composer.mode.workLocally":"本地项目","composer.mode.workLocally.currentBranchFallback":"你的分支","composer.mode.workLocally.tooltip":"在 {branchName} 上工作","composer.mode.worktree":"新工作树","composer.mode.worktree.submoduleWarning":"此存储库包含 Git 子模块，创建工作树可能会失败","composer.mode.worktree.tooltip":"创建本地项目的副本以并行开展工作","composer.mode.worktreeSegment":"工作树","composer.modelChangeDuringConversationWarning.toast":"在对话中途切换模型会降低性能表现。","composer.newChat.heading.browser":"接下来我们需要编写什么代码？","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex 使用 config.toml 中定义的权限。","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex 拥有对你的计算机的完全访问权限（高风险）","composer.permissionsDropdown.custom.label":"自定义 (config.toml)","composer.permissionsDropdown.custom.optionLabel":"自定义 (config.toml)","composer.permissionsDropdown.default.label":"默认权限","composer.permissionsDropdown.default.optionLabel":"默认权限","composer.permissionsDropdown.default.tooltip":"Codex 自动在沙盒中运行命令","composer.permissionsDropdown.disabled.requirements":"权限被 requirements.toml 锁定","composer.permissionsDropdown.fullAccess.disabled":"完整访问权限已由 requirements.toml 文件禁用","composer.permissionsDropdown.fullAccess.label":"完全访问权限","composer.permissionsDropdown.fullAccess.optionLabel":"完全访问权限","composer.permissionsDropdown.trigger.tooltip":"更改权限","composer.personalitySlashCommand.description.friendly":"温暖、协作、贴心","composer.personalitySlashCommand.description.pragmatic":"简洁、专注、直接","composer.personalitySlashCommand.label.friendly":"亲和","composer.personalitySlashCommand.label.pragmatic":"务实","composer.personalitySlashCommand.notApplicableSuffix":"（不应用于当前模型）","composer.personalitySlashCommand.title":"个性","composer.placeholder.cloudFollowUp.directFollowUp":"此云端任务的后续操作","composer.placeholder.cloudFollowUp.local":"创建引用此云端任务的新的本地任务","composer.placeholder.cloudFollowUp.workingTree":"创建包含当前代码并将引用此任务的新的云端任务","composer.placeholder.localFollowUp.cloud":"在新的云端任务中进行后续操作","composer.placeholder.localFollowUp.locally":"要求后续变更","composer.placeholder.newTask.cloud":"在云端向 Codex 下达任意指令​","composer.placeholder.newTask.doAnything":"向 Codex 下达任意指令​","composer.placeholder.newTask.locally":"向 Codex 任意提问，@ 添加文件，/ 调出命令","composer.planModeDropdown":"计划模式","composer.planModeDropdown.ariaLabel":"计划模式","composer.planModeIndicator":"计划","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"使用 Codex 创建计划","composer.planModeIndicator.tooltipToggle":"切换","composer.planSlashCommand.disableDescription":"关闭计划模式","composer.planSlashCommand.enableDescription":"开启计划模式","composer.planSlashCommand.title":"计划模式","composer.priorContext.label":"上一个场景","composer.priorContext.removeAriaLabel":"移除上一个场景","composer.queuedMessage.delete":"删除排队的消息","composer.queuedMessage.edit":"编辑消息","composer.queuedMessage.more":"排队消息操作","composer.queuedMessage.sendNow":"引导","composer.queuedMessage.sendNowTooltip":"立即发送而不中断工作","composer.queuedMessage.turnOff":"关闭排队","composer.reasoningEffort.local.reasoning.tooltip":"选择推理强度等级","composer.remote.branchStartingPoint":"此任务应从哪个分支启动？","composer.remote.branchesSectionHeading":"分支","composer.remote.currentEditsSuffix.followUp":"创建引用此云端任务的新任务。","composer.remote.currentEditsSuffix.useLocal":"含本地代码更改","composer.remote.directFollowUp":"不应用本地更改","composer.remote.errorLoadingBranches":"加载分支时出错","composer.remote.fromBranch":"始于：{branch}","composer.remote.fromCurrentBranch":"始于 {branch}（当前）","composer.remote.loadingMoreBranches":"正在加载…","composer.remote.localFileStateHeading":"本地文件状态","composer.remote.localWorkingTree":"应用本地更改","composer.remote.startingPoint":"此任务应从哪个代码版本启动？","composer.reviewMode.branches.error":"无法加载分支","composer.reviewMode.branches.retry":"重试","composer.reviewMode.gitRoot.error":"未找到 Git 根目录","composer.reviewMode.option.baseBranch.simple":"基于基础分支进行审查​","composer.reviewMode.option.unstaged.simple":"审查未提交的更改","composer.reviewMode.quickReviewError":"无法启动代码审查。","composer.reviewMode.title":"代码审查","composer.sandboxButton.unlock.disabled.tooltip":"完整访问权限已由 requirements.toml 文件禁用","composer.sandboxButton.windowsSandboxDialog.content":"Codex 采用实验性 Windows 沙盒环境，以限制文件系统和网络访问权限。{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"启用 Windows 沙盒？","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"使用只读模式","composer.searchEnvironments":"搜索环境","composer.skillMentionList.app":"应用","composer.skillMentionList.loading":"正在加载技能…","composer.skillMentionList.noResults":"找不到技能","composer.slashCommands.cloudEnvironment.title":"云端环境","composer.slashCommands.dialogLabel":"斜杠命令菜单","composer.slashCommands.dialogTitle":"斜杠命令","composer.slashCommands.disabledTooltip":"开启新对话以使用斜杠命令","composer.slashCommands.inputPlaceholder":"搜索","composer.slashCommands.noResults":"无命令","composer.slashCommands.skillsGroup":"技能","composer.slashCommands.tooltip":"浏览斜杠命令","composer.status.close":"关闭","composer.statusPlain.alertLabel":"警报：","composer.statusPlain.alertValue":"{window}上剩余 {remaining}%","composer.statusPlain.contextLabel":"背景信息：","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"（已使用 {used}/共 {total}）","composer.statusPlain.contextValueRemaining":"剩余 {remaining}%","composer.statusPlain.heading":"状态","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} 限额：","composer.statusPlain.rateLimitDays":"{count} 天限额","composer.statusPlain.rateLimitFallbackLabel":"额度​：","composer.statusPlain.rateLimitHours":"{count} 小时限额","composer.statusPlain.rateLimitLabelBase":"额度​","composer.statusPlain.rateLimitMinutes":"{count} 分钟限额","composer.statusPlain.rateLimitPercent":"剩余 {remaining}%","composer.statusPlain.rateLimitReset":"重置时间：{time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"重置时间不可用","composer.statusPlain.rateLimitUnavailable":"不可用","composer.statusPlain.sessionCopiedAriaLabel":"已复制会话 ID","composer.statusPlain.sessionCopiedTooltip":"已复制 ID","composer.statusPlain.sessionCopyAriaLabel":"复制会话 ID","composer.statusPlain.sessionCopyTooltip":"复制 ID","composer.statusPlain.sessionLabel":"会话：","composer.statusSlashCommand.description":"显示线程 ID、背景信息使用情况以及额度","composer.statusSlashCommand.title":"状态","composer.submit.blockedDialogOk":"确定","composer.submit.blockedDialogTitle":"无法发送消息","composer.submit.emptyMessage":"输入消息以启动","composer.submit.imageInputsUnsupported":"请移除图片或切换模型后再发送此消息。","composer.submit.loadingLocalConfig":"正在加载…","composer.submit.missingCloudConfig":"云端环境为必选项","composer.submit.missingCloudTurn":"无法跟进此任务","composer.submit.noWorkspace":"添加项目以使用 Codex","composer.submit.waitForImageUploads":"图片正在上传…","composer.submitButtonTooltip.send":"发送","composer.submitButtonTooltip.stop":"停止","composer.worktreeEnvironment.create":"创建本地环境","composer.worktreeEnvironment.default":"默认环境","composer.worktreeEnvironment.error":"加载环境时出错","composer.worktreeEnvironment.loading":"正在加载环境…","composer.worktreeEnvironment.title":"本地环境","composer.worktreeEnvironment.tooltip":"选择本地环境","composer.worktreeSetupFailed":"工作树设置失败，请检查 .codex/environments 下的设置脚本。","compoundButton.secondaryAction":"次要操作","copyButton.copied":"已复制","copyButton.copiedAriaLabel":"已复制","copyButton.copy":"复制","copyButton.copyAriaLabel":"复制","copyButton.copyCode":"复制代码","diff.actionButton.revertFile":"还原文件","diff.actionButton.revertHunk":"还原","diff.actionButton.revertSection":"还原全部","diff.actionButton.revertSectionLabel":"还原全部","diff.actionButton.stageFile":"暂存文件","diff.actionButton.stageHunk":"暂存","diff.actionButton.stageSection":"暂存全部","diff.actionButton.stageSectionLabel":"暂存全部","diff.actionButton.unstageFile":"对文件取消暂存","diff.actionButton.unstageHunk":"取消暂存","diff.actionButton.unstageSection":"对全部取消暂存","diff.actionButton.unstageSectionLabel":"对全部取消暂存","diff.fileHeader.toggle":"切换文件差异对比","electron.onboarding.login.apikey.cancel":"取消","electron.onboarding.login.apikey.continue":"继续","electron.onboarding.login.apikey.label":"OpenAI API 密钥","electron.onboarding.login.apikey.open":"输入 API 密钥","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"取消登录","electron.onboarding.login.chatgpt.continue":"继续使用 ChatGPT 登录","electron.onboarding.login.devbox":"连接到远程 SSH","electron.onboarding.login.error":"登录失败：{rawMessage}","electron.onboarding.login.snake.start":"玩贪吃蛇","electron.onboarding.login.sshConfig.cancel":"取消","electron.onboarding.login.sshConfig.continue":"继续","electron.onboarding.login.sshConfig.hostnameLabel":"SSH 主机名","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"与代理协同构建的最优方式","electron.onboarding.login.title":"欢迎使用 Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"继续","electron.onboarding.welcome.doubleLimits.description":"为庆祝 Codex 应用上线，你在 4 月 2 日前可享受 2 倍额度。","electron.onboarding.welcome.freego.description":"截至 3 月 2 日前可在套餐中免费使用 Codex——让我们开始一起构建吧。","electron.onboarding.welcome.new.title.anon":"欢迎","electron.onboarding.workspace.continue":"继续","electron.onboarding.workspace.empty":"添加项目以继续。","electron.onboarding.workspace.listLabel":"可用项目","electron.onboarding.workspace.loading":"正在加载项目…","electron.onboarding.workspace.openFolder":"添加项目","electron.onboarding.workspace.selectAll":"选择全部","electron.onboarding.workspace.skip":"跳过","electron.onboarding.workspace.skip.error":"无法创建新项目：{message}","electron.onboarding.workspace.skip.error.unknown":"未知错误","electron.onboarding.workspace.skipping":"正在创建新项目…","electron.onboarding.workspace.subtitle":"Codex 将能够在选定文件夹中编辑文件和运行命令。","electron.onboarding.workspace.title":"选择项目","errorPage.list.checkSettings":"尝试更新 IDE 设置","errorPage.list.configToml":"检查 config.toml 是否包含无效设置","errorPage.list.downloadExtension":"尝试下载扩展程序的其他版本","errorPage.list.runInWsl":"若出现兼容性问题，请在设置中禁用“在 WSL 中运行”功能​","execApprovalRequest.menu.runAlways":"是，且本次会话不再询问","execApprovalRequest.menu.runAlwaysWithAmendment":"是，且对于以 {command} 开头的命令不再询问","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"是，且对于以后续内容开头的命令不再询问","execApprovalRequest.menu.runOnce":"是","execApprovalRequest.prompt":"是否运行此命令？","execApprovalRequest.reject":"否","execFooter.exitCode":"退出码 {code}","execFooter.exitCode.unknown":"未知","execFooter.success":"成功","feedback.dialog.category.badResult":"结果异常","feedback.dialog.category.bug":"错误","feedback.dialog.category.goodResult":"结果正常","feedback.dialog.category.other":"其他","feedback.dialog.descriptionPlaceholder":"在此处描述问题","feedback.dialog.dismiss":"忽略","feedback.dialog.includeLogsLabel":"包含当前 Codex 会话日志","feedback.dialog.submit":"提交","feedback.dialog.submitError":"无法提交你的反馈。请稍后重试。","feedback.dialog.title":"反馈","feedback.dialog.uploadedMessage.existingIssue":"现有未解决问题","feedback.dialog.uploadedMessage.openIssue":"提交 GitHub 问题","feedback.dialog.uploadedMessage.withThread":"反馈已上传。如果问题持续存在，请{openIssueLink}或在 {existingIssueLink} 中提及线程 ID：","feedback.dialog.uploadedTitle":"反馈已上传","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"移除“{filename}”","header.back":"返回","header.recentChats":"任务","header.recentTasks.seeAll":"查看全部（{total} 个）","home.header.getPlus":"获取 Plus","home.hero.letsBuild":"开始构建","homePage.mainContent":"主要内容","imageAttachment.defaultName":"图片","imageAttachment.preview.close":"关闭图片预览","imageAttachment.removeAriaLabel":"移除“{filename}”","implementPlanRequest.option.implement":"是，实施此计划","implementPlanRequest.prompt":"实施此计划？","inbox.archived.deleteError":"无法删除归档运行记录","inbox.archived.deleteRun":"删除归档运行记录","inbox.archived.deleteSuccess":"已删除归档线程。请在<settingsLink>归档线程</settingsLink>中查看。","inbox.archived.inlineLabel.auto":"此线程已自动归档。<learnMoreLink>了解更多</learnMoreLink>","inbox.archived.inlineLabel.manual":"此线程已归档。","inbox.archived.noMessageFound":"找不到消息","inbox.automations.createError":"无法创建自动化","inbox.automations.deleteConfirm.cancel":"取消","inbox.automations.deleteConfirm.confirm":"删除自动化","inbox.automations.deleteConfirm.description":"此操作将永久删除该自动化并停止所有未来运行。","inbox.automations.deleteConfirm.title":"删除 {name}？","inbox.automations.deleteError":"无法删除自动化","inbox.automations.editTooltip":"编辑自动化","inbox.automations.inProgress":"正在进行中","inbox.automations.new":"新","inbox.automations.newToolbar":"新自动化","inbox.automations.pauseTooltip":"暂停自动化","inbox.automations.resumeTooltip":"恢复自动化","inbox.automations.startingNow":"正在启动","inbox.automations.startsIn":"开始时间：{startTime}","inbox.automations.status.active":"活跃","inbox.automations.status.paused":"已暂停","inbox.automations.status.runs":"{count} 次运行","inbox.automations.status.started":"开始时间：{date}","inbox.automations.updateError":"无法更新自动化操作","inbox.automations.workspaceFallback":"-","inbox.filter.all":"全部","inbox.filter.ariaLabel":"筛选收件箱项目","inbox.filter.unread":"未读","inbox.list.archived":"已归档","inbox.list.inProgress":"正在进行中","inbox.list.recent":"已完成","inbox.list.upNext":"已安排","inbox.mode.automations":"自动化","inbox.mode.automations.beta":"测试版","inbox.noDescription":"未提供描述","inbox.openThread":"打开线程","inbox.rightPanel.emptySubtitle":"通过设置任务计划实现工作自动化处理。","inbox.rightPanel.emptySubtitle.learnMore":"通过设置计划线程实现工作自动化处理。<link>了解更多</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# 个活跃的自动化操作}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"无未读自动化操作","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# 个未读自动化操作}}","inbox.rightPanel.emptyTitle":"未选择任何项目","inbox.rightPanel.noThread":"没有针对此项目的线程","inbox.rightPanel.quickStart.header":"从模板入手","inbox.untitled":"无标题收件箱项目","loadingPage.documentationLink":"文档","loadingPage.errorDescription":"Codex 运行时发生错误：​","loadingPage.errorDescription.documentation":"点击重新加载以重启 Codex 扩展程序，或查阅{documentationLink}获取其他帮助​。","loadingPage.errorSignal":"可尝试以下解决方案：","loadingPage.errorTitle":"出错了","loadingPage.openConfigToml":"打开 Config.toml","loadingPage.reload":"重新加载","localConversation.contextCompacted":"背景信息已自动压缩","localConversation.contextCompacting":"正在自动压缩背景信息","localConversation.forkedFromConversation":"已从 {threadTitle} 派生","localConversation.merge.autoResolve.failed":"无法请求自动解决：{error}","localConversation.merge.autoResolve.sent":"自动解决请求已发送","localConversation.merge.autoResolveMerge.missingConversation":"无活跃对话时无法自动解决合并冲突。","localConversation.merge.autoResolveMerge.request":"自动解决合并冲突","localConversation.modelChanged":"模型已从 {fromModel} 更改为 {toModel}。","localConversation.modelChanged.warning.line1":"在对话中途切换模型会降低性能表现。","localConversation.modelChanged.warning.line2":"背景信息可能会自动压缩。","localConversation.moveThread.createBranch.label":"创建分支","localConversation.moveToLocal.disabled.loading":"正在加载…","localConversation.moveToLocal.modal.continue":"继续","localConversation.moveToLocal.modal.destinationLabel":"移至","localConversation.moveToLocal.modal.retry":"重试","localConversation.moveToWorktree.modal.back":"返回","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"分支已存在。","localConversation.moveToWorktree.modal.branchesError":"无法加载分支","localConversation.moveToWorktree.modal.branchesLoading":"正在加载分支…","localConversation.moveToWorktree.modal.branchesRetry":"重试","localConversation.moveToWorktree.modal.continue":"继续","localConversation.moveToWorktree.modal.retry":"重试","localConversation.moveToWorktree.modal.trailingSlashError":"分支名不能以“/”结尾。","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"新分支","localConversation.personalityChanged":"已切换至{personality}个性","localConversation.planSummary.collapse":"折叠计划概要","localConversation.planSummary.collapseTooltip":"折叠","localConversation.planSummary.download":"下载套餐","localConversation.planSummary.expand":"展开计划概要","localConversation.planSummary.expandTooltip":"展开","localConversation.planSummary.openInNewWindow":"打开","localConversation.planSummary.openInNewWindow.tooltip":"在新窗口中打开","localConversation.planSummary.title":"套餐","localConversation.planSummary.titleWriting":"编写计划","localConversation.planSummary.viewPlan":"展开计划","localConversation.remoteTaskCreated":"已在 Codex Cloud 中创建{taskLink}","localConversation.remoteTaskCreated.task":"任务","localConversation.scrollToBottomButton":"滚动到底部","localConversation.sync.buttonLabel":"移交至本地","localConversation.sync.buttonLabel.tooltip":"在该工作树与本地结账之间移交变更。","localConversation.sync.modal.loading.title":"正在移交变更…","localConversation.sync.modal.noChanges":"无更改","localConversation.syncSetup.branchAriaLabel":"分支名称","localConversation.syncSetup.branchName":"分支名称","localConversation.syncSetup.branchPlaceholder.existing":"选择现有分支","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"正在加载分支…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"已检出","localConversation.syncSetup.checkoutClean":"当前分支 {branchName}","localConversation.syncSetup.checkoutDirty":"当前位于{branchName}，且存在未提交的更改","localConversation.syncSetup.checkoutError":"无法检出分支：{message}","localConversation.syncSetup.checkoutLabel":"当前在本地检出","localConversation.syncSetup.checkoutOnLocal":"移交至本地","localConversation.syncSetup.checkoutPending":"正在检出本地状态…","localConversation.syncSetup.checkoutUnavailable":"本地工作空间不可用","localConversation.syncSetup.checkoutUnknown":"本地分支不可用","localConversation.syncSetup.continue":"继续","localConversation.syncSetup.createBranchError":"无法设置移交分支：{message}","localConversation.syncSetup.error":"出错了：{message}","localConversation.syncSetup.error.workingTreeMissing":"无法快照工作树，请重新尝试进行移交。","localConversation.syncSetup.mode.ariaLabel":"选择分支模式","localConversation.syncSetup.mode.existing":"现有分支","localConversation.syncSetup.mode.new":"新建分支","localConversation.syncSetup.noBranches":"找不到分支","localConversation.syncSetup.overwriteError":"分支已创建但未完全移交，请先手动完成移交再本地检出。","localConversation.syncSetup.setPrefix":"设置前缀","localConversation.syncSetup.subtitle":"在本地测试和编辑工作树更改。<a>了解更多</a>","localConversation.syncSetup.success.checkedOut":"分支已创建并在本地检出","localConversation.syncSetup.success.notCheckedOut":"分支已创建","localConversation.syncSetup.title":"移交至本地分支","localConversation.syncWorktreeError.branchAriaLabel":"分支名称","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"选择移交目标分支后，重新尝试加载变更。","localConversation.syncWorktreeError.branchSetup.title":"更新分支","localConversation.syncWorktreeError.branchUpdate.cta":"更新并重试","localConversation.syncWorktreeError.branchUpdate.error":"无法更新分支：{message}","localConversation.syncWorktreeError.branchUpdate.unknown":"出错了：{message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"分支未在任何工作树中检出。","localConversation.syncWorktreeV2.applyUncommitted":"应用","localConversation.syncWorktreeV2.applyUncommitted.disabled":"你必须在本地检出分支后，方可应用未提交的更改","localConversation.syncWorktreeV2.branches.empty":"找不到分支","localConversation.syncWorktreeV2.branches.loading":"正在加载分支…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"更改移交分支","localConversation.syncWorktreeV2.changeBranch.error":"无法更改移交分支：{message}","localConversation.syncWorktreeV2.commandError.action.apply":"应用失败","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"覆盖工作树更改失败","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"覆盖本地更改失败","localConversation.syncWorktreeV2.commandError.back":"返回","localConversation.syncWorktreeV2.commandError.body":"移交时 Git 命令执行失败，请检查输出后重试。","localConversation.syncWorktreeV2.commandError.retry":"重试","localConversation.syncWorktreeV2.description":"在本地与此工作树间移交变更。<a>了解更多</a>。","localConversation.syncWorktreeV2.direction.ariaLabel":"选择移交方向","localConversation.syncWorktreeV2.error.generic":"移交过程出错，请重试。","localConversation.syncWorktreeV2.localBranchLabel":"本地","localConversation.syncWorktreeV2.noChanges":"正在计算变更","localConversation.syncWorktreeV2.noChanges.summary":"无更改","localConversation.syncWorktreeV2.overwrite.local":"覆盖本地更改","localConversation.syncWorktreeV2.overwrite.worktree":"覆盖工作树更改","localConversation.syncWorktreeV2.partial.action.applyFailed":"无法应用更改","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"无法覆盖本地更改","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"无法覆盖工作树更改","localConversation.syncWorktreeV2.partial.appliedLabel":"已应用","localConversation.syncWorktreeV2.partial.back":"返回","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"请解决冲突后重试。","localConversation.syncWorktreeV2.partial.conflictsLabel":"冲突","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# 个文件}}","localConversation.syncWorktreeV2.partial.retry":"重试","localConversation.syncWorktreeV2.partial.skippedLabel":"已跳过","localConversation.syncWorktreeV2.stateFailed.generic":"获取要移交的工作树变更时出错，请重试。","localConversation.syncWorktreeV2.stateFailed.title":"无法加载工作树更改","localConversation.syncWorktreeV2.statusError.diffUnknown":"无法加载工作树更改。","localConversation.syncWorktreeV2.statusError.retry":"重试","localConversation.syncWorktreeV2.statusError.title":"无法加载本地分支变更","localConversation.syncWorktreeV2.statusError.unknown":"分支状态暂不可用，请重试。","localConversation.syncWorktreeV2.success.apply":"已成功应用更改","localConversation.syncWorktreeV2.success.overwrite":"移交成功","localConversation.syncWorktreeV2.title":"移交变更","localConversation.syncWorktreeV2.worktreeLabel":"工作树","localConversation.userInputRequest.inProgress":"正在询问 {count, plural, other {问题}}","localConversation.userInputRequest.noAnswer":"未提供答案","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"已询问","localConversation.userInputRequest.summary.count":"{count, plural, other {# 个问题}}","localConversation.workedFor":"已处理 {time}","localConversation.worktreeBranchSetup.action.create":"创建","localConversation.worktreeBranchSetup.branchAriaLabel":"分支名称","localConversation.worktreeBranchSetup.branchPlaceholder.new":"新建分支","localConversation.worktreeBranchSetup.checkoutDisabled":"此分支已在{location}检出","localConversation.worktreeBranchSetup.checkoutError":"无法检出分支：{message}","localConversation.worktreeBranchSetup.createBranchError":"无法设置分支：{message}","localConversation.worktreeBranchSetup.error":"出错了：{message}","localConversation.worktreeBranchSetup.subtitle":"创建一个分支以提交更改、推送并从此工作树创建拉取请求。<a>了解更多</a>","localConversation.worktreeBranchSetup.title":"在此工作","localConversationPage.addWorktreeToSidebar.tooltip":"另存为项目，以便通过此工作树开启新的对话线程","localConversationPage.addWorktreeToSidebarError":"无法添加项目","localConversationPage.commitAndCreatePrModal.errorTitle":"提交并创建 PR 失败","localConversationPage.commitAndCreatePrModal.successTitle":"已提交并创建 PR","localConversationPage.commitAndPushModal.errorTitle":"提交并推送失败","localConversationPage.commitAndPushModal.successTitle":"已提交并推送更改","localConversationPage.commitCreatePr.open":"打开拉取请求","localConversationPage.commitCreatePr.successTitle":"已使用你的最新更改创建 PR","localConversationPage.createBranchButtonLabel":"在此创建分支","localConversationPage.createPrModal.baseBranch":"基准","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"创建拉取请求","localConversationPage.createPrModal.createDescription":"打开你的最新更改的拉取请求。","localConversationPage.createPrModal.errorTitle":"拉取请求失败","localConversationPage.createPrModal.headBranch":"头部分支","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"打开 PR","localConversationPage.createPrModal.successTitle":"拉取请求已创建","localConversationPage.createPrModal.title":"创建拉取请求","localConversationPage.createPrModal.viewDescription":"此分支已存在拉取请求。","localConversationPage.createPrModal.viewTitle":"拉取请求已就绪","localConversationPage.createPullRequestAuthGh":"验证 GitHub CLI：运行“gh auth login”","localConversationPage.createPullRequestBranchMissing":"分支信息不可用","localConversationPage.createPullRequestButtonLabel":"创建拉取请求","localConversationPage.createPullRequestButtonLabel.loading":"正在创建 PR…","localConversationPage.createPullRequestDefaultBranchMissing":"默认分支信息不可用","localConversationPage.createPullRequestError":"无法创建拉取请求","localConversationPage.createPullRequestExistingPullRequest":"此分支已存在拉取请求","localConversationPage.createPullRequestGhStatusMissing":"正在加载 GitHub CLI 状态…","localConversationPage.createPullRequestInstallGh":"安装 GitHub CLI (gh) 以创建 PR","localConversationPage.createPullRequestNoRepo":"未找到 git 存储库","localConversationPage.createPullRequestPushStatusMissing":"正在加载推送状态…","localConversationPage.createPullRequestSetUpstream":"创建 PR 前先推送此分支","localConversationPage.createPullRequestSuccessToast":"拉取请求已创建","localConversationPage.createPullRequestSwitchBranch":"在创建 PR 前先检出功能分支","localConversationPage.error.render":"呈现本地对话时出错","localConversationPage.error.toast":"未找到对话","localConversationPage.forcePushError":"无法强制推送","localConversationPage.generatePullRequestMessageError":"无法生成拉取请求标题和正文","localConversationPage.generatePullRequestMessageFailed":"无法生成拉取请求标题和正文。","localConversationPage.gitActionResult.branch":"分支","localConversationPage.gitActionResult.cancel":"取消","localConversationPage.gitActionResult.close":"关闭","localConversationPage.gitActionResult.tryAgain":"重试","localConversationPage.gitActions":"Git 操作","localConversationPage.newChat":"新聊天","localConversationPage.openInTarget":"打开方式","localConversationPage.openPrimaryTarget":"打开","localConversationPage.planItemsCompleted":"共 {totalItems, plural, other {# 个任务}}，已经完成 {completedItems} 个","localConversationPage.pushAuthError":"推送失败：需要身份验证","localConversationPage.pushBranchMissing":"分支信息不可用","localConversationPage.pushButtonLabel":"推送","localConversationPage.pushButtonLabel.loading":"正在推送…","localConversationPage.pushError":"无法推送变更","localConversationPage.pushModal.branchLabel":"分支","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"取消","localConversationPage.pushModal.confirm":"推送","localConversationPage.pushModal.description":"将你最新的提交内容推送至远程存储库。","localConversationPage.pushModal.errorTitle":"推送失败","localConversationPage.pushModal.forcePush":"强制推送","localConversationPage.pushModal.successTitle":"推送完成","localConversationPage.pushModal.title":"推送更改","localConversationPage.pushModal.tryAgain":"重试","localConversationPage.pushNoUpstream":"推送分支前先设置上游","localConversationPage.pushNoUpstreamError":"推送失败：未配置上游","localConversationPage.pushNothingToPush":"暂无新提交可推送","localConversationPage.pushRemoteChangedError":"推送失败：远程有新提交","localConversationPage.pushRemoteRejectedError":"推送被远程拒绝","localConversationPage.pushStatusMissing":"正在加载推送状态…","localConversationPage.pushSuccessToast":"已推送更改","localConversationPage.viewPullRequestButtonLabel":"查看 PR","localConversationPage.viewPullRequestButtonLabel.loading":"正在加载拉取请求…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# 个文件}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# 个列表}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# 个搜索}}</countText>","localConversationTurn.exploration.accordion.count.separator":",","localConversationTurn.exploration.accordion.header.active":"正在浏览","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"已浏览","localConversationTurn.exploration.accordion.header.complete.withCounts":"已浏览 {counts}","localConversationTurnStory.showContent":"显示内容","localConversationTurnStory.streamContent":"流媒体内容","localConversationTurnStory.toggleReasoning":"显示推理","localTaskRow.archiveError":"无法归档对话","localTaskRow.resumeError":"无法恢复任务","mermaidDiagram.ariaLabel":"Mermaid 流程图","mermaidDiagram.copySource":"复制 Mermaid 流程图","mermaidDiagram.originalCode":"Mermaid 源代码","notifications.permissions.description":"在需要通知权限时显示提醒","notifications.permissions.label":"启用权限通知","notifications.turnMode.always":"始终","notifications.turnMode.description":"设置 Codex 完成任务时的提醒","notifications.turnMode.label":"轮次完成通知","notifications.turnMode.off":"从不","notifications.turnMode.unfocused":"仅当应用失焦时","patchApprovalRequest.approve":"批准","patchApprovalRequest.menu.allowAlways":"是，且本次会话不再询问","patchApprovalRequest.menu.allowForSession":"是，且本次会话不再询问","patchApprovalRequest.menu.allowOnce":"是","patchApprovalRequest.prompt":"是否应用这些更改？","patchApprovalRequest.reject":"否","patchApprovalRequest.waitingForApproval":"正在等待对文件编辑的审批","pendingRequest.approvalExec.collapse":"折叠","pendingRequest.approvalExec.expand":"展开","pendingRequestStory.toastAnswer":"答案：{answer}","pendingRequestStory.toastApprovalTitle":"批准回复","pendingRequestStory.toastFollowupPrompt":"提示：{prompt}","pendingRequestStory.toastFollowupTitle":"跟进消息已发送","pendingRequestStory.toastNoAnswers":"未提供答案","pendingRequestStory.toastQuestion":"问题：{question}","pendingRequestStory.toastUnknownDecision":"未知","pendingRequestStory.toastUserInputTitle":"已提交答案","quickAction.request.codeReview.branches.new":"请根据{to}审查{from}上的更改","quickAction.request.codeReview.uncommitted.new":"请审查我未提交的更改","reasoningItem.thinking":"正在思考","reasoningItem.thought":"已完成思考","reasoningItem.thoughtWithElapsed":"已思考 {elapsed}","recentConversations.title":"最近的对话","recentTasks.worktreeInitFailedTitle":"工作树初始化失败","recentTasks.worktreeSettingUpTitle":"设置工作树","requestInputPanel.continue":"继续","requestInputPanel.dismiss":"忽略","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"在此输入","requestInputPanel.optionIndex":"{index}。","requestInputPanel.otherPlaceholder":"否，请告知 Codex 如何调整","requestInputPanel.selectedBadge":"已选","requestInputPanel.skip":"跳过","requestInputPanel.submit":"提交","review.commit.ariaLabel.includeUnstaged":"包含取消暂存的更改","review.commit.buttonLabel":"提交","review.commit.disabled.committing":"正在提交…","review.commit.disabled.loadingDiff":"正在加载差异…","review.commit.disabled.missingContext":"添加一些上下文以生成提交信息","review.commit.disabled.noChanges":"无可提交的更改","review.commit.disabled.noSelection":"选择要提交的更改","review.commit.disabled.unavailable":"提交目前不可用","review.commit.error":"无法提交更改","review.commit.form.changesToBeCommitted":"更改","review.commit.form.commitTo":"分支","review.commit.form.commitTo.none":"-","review.commit.form.continue":"继续","review.commit.form.title":"提交更改","review.commit.generate.emptyResponse":"无法生成提交信息。","review.commit.generate.failed":"无法生成提交信息：{error}","review.commit.generate.missingPrompt":"添加一些背景信息以生成提交信息。","review.commit.includeUnstaged":"包含取消暂存的更改","review.commit.loading.description":"请稍候，这可能需要一些时间…","review.commit.loading.step.commit.done":"已提交的更改","review.commit.loading.step.commit.pending":"正在提交更改","review.commit.loading.step.createPr.done":"已创建拉取请求","review.commit.loading.step.createPr.pending":"正在创建拉取请求","review.commit.loading.step.push.done":"已推送至分支 {branch}","review.commit.loading.step.push.pending":"正在推送至分支 {branch}","review.commit.loading.title.commit":"正在提交更改","review.commit.loading.title.createPr":"正在创建 PR","review.commit.loading.title.push":"正在推送更改","review.commit.messageLabel":"提交消息","review.commit.messagePlaceholder":"留空以自动生成提交消息","review.commit.nextSteps":"后续步骤","review.commit.nextSteps.commit":"提交","review.commit.nextSteps.commitAndCreate":"提交并创建 PR","review.commit.nextSteps.commitAndPush":"提交并推送","review.commit.nextSteps.prRequiresGh":"需要 GitHub CLI：{command}","review.commit.rows.changes":"更改","review.commit.rows.commitCount":"{count, plural, other {# 项提交}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# 项提交}} 和 {stats}","review.commit.rows.fileCount":"{count, plural, other {# 个文件}}","review.commit.state.error.body":"提交时出错。请检查你的 Git 状态，然后重试。","review.commit.state.error.title":"提交失败","review.commit.state.success.title":"更改已提交","review.commit.untracked.loadingStats":"正在加载未追踪的差异统计…","reviewFindingAttachments.count":"{count, plural, other {# 个结果}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"编辑你的配置以自定义代理行为","settings.agent.configuration.configToml.docs":"文档","settings.agent.configuration.configToml.restartNote":"编辑后重启 Codex 以应用更改","settings.agent.configuration.subtitle":"此设置对 Codex 的所有使用场景生效","settings.automations.banner.danger":"自动化任务以默认沙盒设置（当前为全权限）运行。全权限后台自动化存在较高风险，Codex 可能无需询问即修改文件、执行命令及访问网络。建议将沙盒设置为工作空间写入权限，并通过<rulesDocsLink>规则</rulesDocsLink>选择性定义代理可全权限运行的命令。","settings.automations.banner.defaultHowTo.default":"自动化任务以默认沙盒设置运行。若工具调用需修改工作空间外文件、访问网络或操作电脑应用，该操作将执行失败。可通过<rulesDocsLink>规则</rulesDocsLink>选择性允许特定命令在沙盒外运行。","settings.automations.banner.defaultHowTo.readOnly":"自动化任务以默认沙盒设置（当前为只读）运行。若工具调用需修改文件、访问网络或操作电脑应用，该操作将执行失败。建议将沙盒更新为工作空间写入权限。","settings.automations.cancel":"取消","settings.automations.create":"创建","settings.automations.cwdEmpty":"无可用项目文件夹","settings.automations.cwdLabel":"项目","settings.automations.cwdPlaceholder":"选择文件夹","settings.automations.cwdSubtitle":"如需使自动化在特定分支上运行，请在提示中指定。","settings.automations.delete":"删除","settings.automations.dialog.editTitle":"编辑自动化","settings.automations.dialog.newTitle":"新自动化","settings.automations.dialog.subtitle":"在后台自动处理重复性任务。Codex 将发现项添加至收件箱，若无内容上报则自动归档任务。<learnMoreLink>了解更多</learnMoreLink>","settings.automations.dialog.title":"创建自动化","settings.automations.executionCopy.git":"自动化任务在专用工作树上后台运行。","settings.automations.executionCopy.nonGit":"非版本控制项目的自动化任务直接在项目目录运行，建议使用 Git 以启用后台工作树运行。","settings.automations.executionEnvironment.local":"本地","settings.automations.executionEnvironment.worktree":"工作树","settings.automations.loading":"正在加载…","settings.automations.nameLabel":"名称","settings.automations.namePlaceholder":"查看 Sentry 问题","settings.automations.pause":"暂停","settings.automations.promptLabel":"提示","settings.automations.promptPlaceholder":"在 $Sentry 中查找崩溃记录","settings.automations.resume":"恢复","settings.automations.rruleSummaryFallback":"自定义安排","settings.automations.runNow":"测试","settings.automations.save":"保存","settings.automations.scheduleBadge.dayCount":"{count} 天","settings.automations.scheduleBadge.interval":"{count} 小时","settings.automations.scheduleBadge.weekdays":"工作日","settings.automations.scheduleBadge.weekends":"周末","settings.automations.scheduleHeader":"安排","settings.automations.scheduleHours":"小时","settings.automations.scheduleLabel":"运行间隔","settings.automations.scheduleMode.daily":"每天","settings.automations.scheduleMode.interval":"时间间隔","settings.automations.scheduleModeLabel":"计划类型","settings.automations.scheduleSummary.daily":"每天 {time}","settings.automations.scheduleSummary.interval":"每 {count} 小时","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# 天}}","settings.automations.scheduleSummary.intervalDays":"{days} {interval}","settings.automations.scheduleSummary.intervalHourly":"每小时","settings.automations.scheduleSummary.singleDay":"{day}（时间：{time}）","settings.automations.scheduleSummary.weekdays":"工作日 {time}","settings.automations.scheduleSummary.weekdaysLabel":"工作日","settings.automations.scheduleSummary.weekends":"周末 {time}","settings.automations.scheduleSummary.weekendsLabel":"周末","settings.automations.scheduleSummary.weekly":"{days}（时间：{time}）","settings.automations.scheduleWeekdays":"启用","settings.automations.weekdayState.excluded":"已排除","settings.automations.weekdayState.included":"已包含","settings.conversationDetail.steps":"步骤","settings.conversationDetail.steps.description":"隐藏命令和输出","settings.conversationDetail.stepsWithCommands":"带代码命令的步骤","settings.conversationDetail.stepsWithCommands.description":"显示命令，折叠输出","settings.conversationDetail.stepsWithOutput":"带代码输出的步骤","settings.conversationDetail.stepsWithOutput.description":"显示命令并展开输出","settings.dataControls.archivedChats.dateTime":"{date}，{time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}，{time} • {repo}","settings.dataControls.archivedChats.empty":"暂无已归档的聊天。","settings.dataControls.archivedChats.error":"无法加载已归档的聊天。","settings.dataControls.archivedChats.loading":"正在加载已归档的聊天…","settings.dataControls.archivedChats.unarchive":"取消归档","settings.dataControls.archivedChats.unarchiveError":"无法取消归档聊天","settings.dataControls.archivedChats.unarchiveSuccess":"取消归档线程。<viewNowLink>立即查看</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"线程已取消归档。","settings.dataControls.archivedChats.untitled":"无标题聊天","settings.dataControls.archivedChats.viewNow":"立即查看","settings.editRow.headerPlaceholder":"键","settings.editRow.removeEntry":"移除条目","settings.editRow.valuePlaceholder":"值","settings.general.appearance":"外观","settings.general.appearance.codeFont":"代码字体","settings.general.appearance.codeFont.description":"调整所有聊天和差异对比中使用的代码字体和大小","settings.general.appearance.codeFontFamily":"代码字体","settings.general.appearance.codeFontSize":"代码字体大小","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"将窗口背景设为纯色而非系统半透明效果","settings.general.appearance.opaqueWindows.label":"使用不透明窗口背景","settings.general.appearance.sansFontFamily":"无衬线字体族","settings.general.appearance.sansFontFamily.description":"调整用于 Codex UI 的字体","settings.general.appearance.sansFontSize":"无衬线字体大小","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"在 GPT-5.3-Codex-Spark 运行首轮任务时显示全屏庆祝特效","settings.general.appearance.sparkCelebrationEffects.label":"火花庆祝特效","settings.general.appearance.theme":"主题","settings.general.appearance.theme.dark":"深色","settings.general.appearance.theme.description":"使用浅色、深色，或匹配系统设置","settings.general.appearance.theme.light":"浅色","settings.general.appearance.theme.system":"系统","settings.general.appearance.usePointerCursors.description":"悬停交互元素时切换为指针光标","settings.general.appearance.usePointerCursors.label":"使用指针光标","settings.general.enterBehavior.description":"启用后，长文本提示需按 {modifierSymbol} + 回车键发送。","settings.general.enterBehavior.label":"需按 {modifierSymbol} + 回车键发送长文本提示","settings.general.experimentalFeatures":"实验性质功能（测试版）","settings.general.experimentalFeatures.empty":"暂无可用的测试版实验性质功能。","settings.general.experimentalFeatures.loading":"正在加载实验性质功能……","settings.general.experimentalFeatures.restartNote":"重启 Codex 以应用实验性质功能变更","settings.general.experimentalFeatures.toggle":"切换 {featureName}","settings.general.followUpQueueMode.description":"在 Codex 运行时排队跟进任务，或引导当前运行。按 {invertFollowUpShortcutLabel} 可对单条消息执行相反操作。","settings.general.followUpQueueMode.interrupt":"引导","settings.general.followUpQueueMode.label":"跟进行为","settings.general.followUpQueueMode.queue":"排队","settings.general.notifications":"通知","settings.general.power.preventSleepWhileRunning.description":"在 Codex 运行任务线程时，让你的电脑保持唤醒状态。","settings.general.power.preventSleepWhileRunning.label":"运行时防止系统休眠","settings.git.branchPrefix.ariaLabel":"分支前缀","settings.git.branchPrefix.description":"在 Codex 中创建新分支时使用的前缀","settings.git.branchPrefix.label":"分支前缀","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"保存分支前缀失败","settings.git.branchPrefix.save.success":"已保存分支前缀","settings.git.commitInstructions.ariaLabel":"提交指令","settings.git.commitInstructions.description":"已添加到提交信息生成提示中","settings.git.commitInstructions.label":"提交指令","settings.git.commitInstructions.placeholder":"添加提交消息指引…","settings.git.commitInstructions.save":"保存","settings.git.commitInstructions.save.error":"无法保存提交指令","settings.git.commitInstructions.save.success":"已保存提交指令","settings.git.forcePush.ariaLabel":"始终强制推送","settings.git.forcePush.description":"从 Codex 推送时使用 --force-with-lease 参数","settings.git.forcePush.label":"始终强制推送","settings.git.forcePush.save.disabled":"始终强制推送已禁用","settings.git.forcePush.save.enabled":"始终强制推送已启用","settings.git.forcePush.save.error":"无法保存强制推送设置","settings.git.prInstructions.ariaLabel":"拉取请求指令","settings.git.prInstructions.description":"已附加到由 Codex 创建的拉取请求正文中","settings.git.prInstructions.label":"拉取请求指令","settings.git.prInstructions.placeholder":"添加拉取请求指引…","settings.git.prInstructions.save":"保存","settings.git.prInstructions.save.error":"无法保存拉取请求指令","settings.git.prInstructions.save.success":"已保存拉取请求指令","settings.ide.defaultOpenTarget.description":"默认打开文件和文件夹的位置","settings.ide.defaultOpenTarget.label":"默认打开目标","settings.ide.defaultOpenTarget.placeholder":"未找到目标","settings.ide.language.auto":"自动检测","settings.ide.language.autoOption":"自动检测","settings.ide.language.description":"应用 UI 语言","settings.ide.language.label":"语言","settings.ide.language.search":"搜索语言","settings.layout.actionButton":"重启扩展功能","settings.layout.actionTitle":"操作设置","settings.layout.fullWidthTitle":"设置（全宽）","settings.layout.title":"设置","settings.localEnvironments.actions.add":"添加操作","settings.localEnvironments.actions.add.description":"从工具栏创建新命令以运行。","settings.localEnvironments.actions.add.save":"保存","settings.localEnvironments.actions.empty":"添加操作，以便从本地工具栏运行命令。","settings.localEnvironments.actions.icon.debug":"调试","settings.localEnvironments.actions.icon.run":"运行","settings.localEnvironments.actions.icon.test":"测试","settings.localEnvironments.actions.icon.tool":"工具","settings.localEnvironments.actions.item.button.delete":"删除","settings.localEnvironments.actions.item.command":"操作脚本","settings.localEnvironments.actions.item.name":"名称","settings.localEnvironments.actions.item.platforms":"平台","settings.localEnvironments.actions.item.platforms.help":"仅在特定操作系统上运行。","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"平台选择","settings.localEnvironments.actions.item.platforms.specific":"平台特定","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"删除","settings.localEnvironments.actions.title":"操作","settings.localEnvironments.breadcrumb.back":"返回","settings.localEnvironments.breadcrumb.edit":"编辑","settings.localEnvironments.breadcrumb.root":"环境","settings.localEnvironments.environment.actions.description":"这些操作可以运行任意命令并将显示在标头中。","settings.localEnvironments.environment.actionsLabel":"操作","settings.localEnvironments.environment.create":"创建本地环境","settings.localEnvironments.environment.defaultName":"本地","settings.localEnvironments.environment.edit":"编辑本地环境","settings.localEnvironments.environment.empty":"尚未针对此项目配置任何本地环境。","settings.localEnvironments.environment.name":"名称","settings.localEnvironments.environment.setup":"设置脚本","settings.localEnvironments.environment.setup.description":"此脚本将在工作树创建时运行。","settings.localEnvironments.environment.setup.hint":"在项目根中运行。","settings.localEnvironments.environment.setup.platformOverrides":"平台覆盖","settings.localEnvironments.environment.setup.platformOverrides.add":"添加 {platform} 设置脚本","settings.localEnvironments.environment.setup.platformOverrides.description":"覆盖特定操作系统的默认脚本。","settings.localEnvironments.environment.setup.platformOverrides.remove":"移除","settings.localEnvironments.environment.setup.script":"脚本","settings.localEnvironments.environment.title":"环境详细信息","settings.localEnvironments.file.missing":"保存以首次创建此文件。","settings.localEnvironments.file.parseError":"无法解析现有文件。保存内容会将其覆盖。（{error}）","settings.localEnvironments.file.path":"文件：{path}","settings.localEnvironments.file.readError":"无法加载本地环境数据。（{error}）","settings.localEnvironments.file.title":"本地环境文件","settings.localEnvironments.loading.body":"正在获取项目配置。","settings.localEnvironments.loading.title":"正在加载本地环境","settings.localEnvironments.preview.devOnly":"（仅限开发环境）","settings.localEnvironments.preview.save":"保存","settings.localEnvironments.preview.saveError":"无法保存文件。（{error}）","settings.localEnvironments.preview.title":"预览","settings.localEnvironments.save.disabled.name":"添加环境名称以保存。","settings.localEnvironments.save.disabled.noChanges":"没有可保存的更改。","settings.localEnvironments.save.disabled.saving":"正在保存…","settings.localEnvironments.save.success":"已保存本地环境","settings.localEnvironments.unavailable.body":"我们无法加载此项目的本地环境设置。","settings.localEnvironments.unavailable.title":"本地环境不可用","settings.localEnvironments.workspace.add":"添加项目","settings.localEnvironments.workspace.title":"项目","settings.localEnvironments.workspaceSelect.addLabel":"添加环境","settings.localEnvironments.workspaceSelect.description":"本地环境用于指示 Codex 如何为项目设置工作树。{learnMore}","settings.localEnvironments.workspaceSelect.empty":"尚无项目。添加一个项目以配置本地环境。","settings.localEnvironments.workspaceSelect.errorLabel":"环境待处理","settings.localEnvironments.workspaceSelect.learnMore":"了解更多","settings.localEnvironments.workspaceSelect.listLabel":"可用项目","settings.localEnvironments.workspaceSelect.loading":"正在加载项目。","settings.localEnvironments.workspaceSelect.loadingLabel":"正在加载环境","settings.localEnvironments.workspaceSelect.title":"选择项目","settings.localEnvironments.workspaceSelect.viewAction":"查看","settings.mcp.addServer":"添加服务器","settings.mcp.app.configure":"配置","settings.mcp.app.connect":"连接","settings.mcp.apps.refresh":"刷新","settings.mcp.detail.addArgument":"添加参数","settings.mcp.detail.addEnvVar":"添加环境变量","settings.mcp.detail.addEnvVarPassthrough":"添加变量","settings.mcp.detail.args":"参数","settings.mcp.detail.back":"返回","settings.mcp.detail.command":"启动命令","settings.mcp.detail.cwd":"工作目录","settings.mcp.detail.docs":"打开 MCP 文档","settings.mcp.detail.docs.link":"文档","settings.mcp.detail.envVarPassthrough":"环境变量传递","settings.mcp.detail.envVars":"环境变量","settings.mcp.detail.http.addEnvHeader":"添加变量","settings.mcp.detail.http.addHeader":"添加标头","settings.mcp.detail.http.bearerToken":"Bearer 令牌环境变量","settings.mcp.detail.http.envHeaders":"来自环境变量的标头","settings.mcp.detail.http.headers":"标头","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"名称","settings.mcp.detail.save":"保存","settings.mcp.detail.switchTransportNotice":"如需切换 MCP 服务器类型，请先卸载当前配置。","settings.mcp.detail.titleExisting":"更新 {name} MCP","settings.mcp.detail.titleNew":"连接至自定义 MCP","settings.mcp.detail.transport.http":"流式 HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"卸载","settings.mcp.empty":"未连接自定义 MCP 服务器","settings.mcp.myServers":"自定义服务器","settings.mcp.partnerServer.description.figma":"通过引入完整的 Figma 设计背景信息来生成更优质的代码","settings.mcp.partnerServer.description.github":"集成 GitHub API 以自动化工作流并提取数据","settings.mcp.partnerServer.description.linear":"集成 Linear 的问题追踪和项目管理功能","settings.mcp.partnerServer.description.notion":"阅读文档、更新页面、管理任务","settings.mcp.partnerServer.description.playwright":"集成浏览器自动化功能以设计和测试用户界面。","settings.mcp.partnerServer.install":"安装","settings.mcp.partnerServer.installAndAuthenticate":"安装并进行身份验证","settings.mcp.partnerServer.logoAlt":"“{label}”徽标","settings.mcp.partnerServer.manage":"管理","settings.mcp.partnerServer.vendor":"操作者：{vendor}","settings.mcp.recommendedServers":"推荐的服务器","settings.mcp.restartApp":"重启","settings.mcp.restartExtension":"重启扩展功能","settings.mcp.server.enable":"启用","settings.mcp.server.login":"进行身份验证","settings.mcp.server.settings":"设置","settings.multiselect.createOption":"创建“{value}”","settings.multiselect.removeOption":"移除","settings.nav.account":"帐户","settings.nav.agent":"配置","settings.nav.ariaLabel":"设置","settings.nav.back":"返回应用","settings.nav.data-controls":"已归档线程","settings.nav.environments":"云端环境","settings.nav.externalTooltip":"[alpha] 在浏览器中打开","settings.nav.general-settings":"常规","settings.nav.git-settings":"Git","settings.nav.local-environments":"环境","settings.nav.mcp-settings":"MCP 服务器","settings.nav.notImplemented":"[alpha] 在测试版中不可用","settings.nav.personalization":"个性化","settings.nav.skills-settings":"技能","settings.nav.usage-analytics":"使用情况与分析","settings.nav.worktrees":"工作树","settings.openSourceLicenses.back":"返回","settings.openSourceLicenses.loading":"正在加载…","settings.openSourceLicenses.missing":"找不到第三方声明。","settings.openSourceLicenses.notSupported":"此主机中不可用。","settings.openSourceLicenses.rowDescription":"捆绑依赖项的第三方声明","settings.openSourceLicenses.rowLabel":"打开源许可证","settings.openSourceLicenses.subtitle":"本应用所含依赖项的第三方声明","settings.openSourceLicenses.title":"打开源许可证","settings.openSourceLicenses.view":"查看","settings.personalization.agents.description":"编辑用于将 Codex 调整至适合你需求的指令。{learnMore}","settings.personalization.agents.learnMore":"了解更多","settings.personalization.agents.loadError":"无法加载 agents.md。","settings.personalization.agents.loading":"正在加载 agents.md…","settings.personalization.agents.placeholder":"添加自定义指令…","settings.personalization.agents.retry":"重试","settings.personalization.agents.save":"保存","settings.personalization.agents.save.error":"无法保存 agents.md","settings.personalization.agents.save.success":"已保存 agents.md","settings.personalization.agents.title":"自定义指令","settings.personalization.personality.description":"选择 Codex 回复的默认语气","settings.personalization.personality.label":"个性","settings.sample.contentBody":"使用此布局构建间距统一的设置面板。","settings.sample.contentTitle":"示例内容区块","settings.section.account":"帐户","settings.section.agent":"配置","settings.section.data-controls":"已归档线程","settings.section.environments":"云端环境","settings.section.external":"测试版期间在你的浏览器中打开","settings.section.general-settings":"常规","settings.section.git-settings":"Git","settings.section.local-environments":"环境","settings.section.mcp-settings":"MCP 服务器","settings.section.mcp-settings.docs":"文档","settings.section.mcp-settings.subtitle":"连接外部工具和数据源。","settings.section.personalization":"个性化","settings.section.skills-settings":"技能","settings.section.unavailable":"在测试版中尚不可用","settings.section.usage-analytics":"使用情况与分析","settings.section.worktrees":"工作树","settings.threadDetail.description":"选择线程中命令输出的显示量","settings.threadDetail.label":"线程详细信息","settings.worktrees.conversation.untitled":"无标题对话","settings.worktrees.delete.error":"无法删除工作树","settings.worktrees.empty.body":"Codex 创建的工作树将显示在此处。","settings.worktrees.empty.title":"尚无工作树","settings.worktrees.error.body":"加载工作树时出错。","settings.worktrees.error.retry":"重试","settings.worktrees.error.title":"无法加载工作树","settings.worktrees.loading.body":"正在获取工作树详细信息。","settings.worktrees.loading.title":"正在加载工作树","settings.worktrees.repository.loading":"正在加载存储库元数据…","settings.worktrees.repository.unknown":"未知存储库","settings.worktrees.row.conversations":"对话","settings.worktrees.row.conversations.empty":"无关联到此工作树的对话。","settings.worktrees.row.conversations.loading":"正在加载对话…","settings.worktrees.row.delete":"删除","settings.worktrees.row.title":"工作树","sidebarElectron.addWorkspaceRoot":"添加新项目","sidebarElectron.archiveThread":"归档线程","sidebarElectron.archiveThreadError":"无法归档线程","sidebarElectron.collapseFolder":"折叠文件夹","sidebarElectron.createStableWorktree.dialog.cancel":"取消","sidebarElectron.createStableWorktree.dialog.create":"创建","sidebarElectron.debugNavLink":"调试","sidebarElectron.editWorkspaceRootOptionName":"编辑名称","sidebarElectron.expandFolder":"展开文件夹","sidebarElectron.groupByMenu.recency":"时间顺序列表","sidebarElectron.groupByMenu.title":"整理","sidebarElectron.groupByMenu.workspace":"按项目","sidebarElectron.inboxRouteNavLink":"自动化","sidebarElectron.markThreadUnread":"标记为未读","sidebarElectron.missingWorkspaceRoot":"该项目文件夹已被删除或移动","sidebarElectron.newThread":"新线程","sidebarElectron.newThreadInGroup":"在 {folder} 中开始新线程","sidebarElectron.noRecentThreads":"无最近线程","sidebarElectron.noTasks":"无线程","sidebarElectron.noTasks.start":"添加新项目","sidebarElectron.noTasksWithFilter":"没有与筛选条件相符的线程","sidebarElectron.pinnedThreads":"置顶的线程","sidebarElectron.recentNavLink":"线程","sidebarElectron.recentThreads":"最近线程","sidebarElectron.removeWorkspaceRootOption":"移除","sidebarElectron.renameThread":"重命名线程","sidebarElectron.renameThreadDialogAriaLabel":"线程标题","sidebarElectron.renameThreadDialogCancel":"取消","sidebarElectron.renameThreadDialogPlaceholder":"添加标题…","sidebarElectron.renameThreadDialogSave":"保存","sidebarElectron.renameThreadDialogSubtitle":"保持简短且易于识别。","sidebarElectron.renameThreadDialogTitle":"重命名线程","sidebarElectron.renameThreadError":"无法重命名线程","sidebarElectron.renameWorkspaceRootOptionLabel":"显示名称","sidebarElectron.showLess":"折叠显示","sidebarElectron.showMenu.all":"所有线程","sidebarElectron.showMenu.relevant":"相关","sidebarElectron.showMenu.relevantHint":"仅显示当前分支、工作树或其他需要你关注的最新线程。","sidebarElectron.showMenu.title":"显示","sidebarElectron.showMenu.tooltip":"筛选、排序和整理线程","sidebarElectron.showMenu.trigger":"筛选边栏线程","sidebarElectron.showMore":"展开显示","sidebarElectron.skillsRouteNavLink":"技能","sidebarElectron.sortMenu.created":"已创建","sidebarElectron.sortMenu.title":"排序条件","sidebarElectron.sortMenu.updated":"已更新","sidebarElectron.taskNavigation":"自动化操作文件夹","sidebarElectron.tasksInFolder":"“{folder}”中的自动化操作","sidebarElectron.workspaceOptions":"{folder} 的项目操作","sidebarElectron.worktreeGroupTooltip":"这是 git 工作树","skills.appsPage.createSkill":"新技能","skills.appsPage.empty.skills":"找不到技能","skills.appsPage.search.skills":"搜索技能","skills.appsPage.search.skills.label":"搜索技能","skills.appsPage.section.installedApps":"已安装","skills.appsPage.section.skills":"技能","skills.appsPage.subheading":"赋予 Codex 更强大的能力。<link>了解更多</link>","skills.appsPage.tab.recommended":"推荐","skills.appsPage.tab.skills":"技能","skills.card.contentsError":"无法加载技能内容。","skills.card.disable":"禁用","skills.card.disableSuccess":"{skillName} 技能已禁用","skills.card.disabledBadge":"已禁用","skills.card.enable":"启用","skills.card.enableSuccess":"{skillName} 技能已启用","skills.card.loadingContents":"正在加载技能内容…","skills.card.more":"更多操作","skills.card.open":"打开","skills.card.removeFailed":"无法卸载技能","skills.card.removeSuccess":"{skillName} 技能已卸载","skills.card.toggleEnabledError":"无法更新技能","skills.card.try":"试用","skills.card.trySkill":"试用技能","skills.card.uninstall":"卸载","skills.hero.dotLabel":"前往幻灯片 {index}","skills.hero.next":"下一个精选技能","skills.hero.trySkill":"试用技能","skills.page.createSkill":"新技能","skills.page.empty":"找不到技能","skills.page.filteredEmpty":"没有符合筛选条件的技能","skills.page.filteredEmptyDescription":"尝试调整你的搜索内容或范围筛选条件","skills.page.heading":"技能","skills.page.loading":"正在加载技能…","skills.page.refreshSkills":"刷新","skills.page.refreshSkillsToUseNew":"刷新以使用新技能","skills.page.search":"搜索技能","skills.page.search.label":"搜索技能","skills.page.subheading":"赋予 Codex 更强大的能力。<link>了解更多</link>","skills.preview.copyPrompt":"复制提示","skills.preview.examplePrompt":"示例提示","skills.recommended.error":"无法加载推荐技能","skills.recommended.install":"安装","skills.recommended.installSkill":"安装技能","skills.recommended.installSuccess":"{skillName} 技能已安装","skills.recommended.installed":"已安装","skills.scope.admin":"管理员","skills.scope.adminInstalled":"管理员安装的技能","skills.scope.builtIn":"系统","skills.scope.personal":"个人","skills.scope.repo":"存储库","skills.scope.system":"系统","skills.scope.team":"Team","skills.scope.user":"用户","skills.section.installed":"已安装","skills.section.recommended":"推荐","story.slidingToggle.existing":"现有","story.slidingToggle.fromLocal":"来自本地","story.slidingToggle.new":"新","story.slidingToggle.toLocal":"到本地","terminal.close":"关闭终端","terminal.title":"终端","thinkingShimmer.default":"正在思考","threadEnvIcon.cloudTooltip":"此对话运行于 Codex Cloud 中。","threadEnvIcon.localTooltip":"此对话在本地运行。","threadEnvIcon.worktreeTooltip":"此对话运行于本地 git 工作树中。","threadHeader.archiveConfirmCancel":"取消","threadHeader.archiveConfirmConfirm":"归档","threadHeader.archiveConfirmSubtitle":"你之后可在归档线程中找到它","threadHeader.archiveConfirmTitle":"归档线程？","threadHeader.copyAppLink":"复制 Deeplink","threadHeader.copySessionId":"复制会话 ID","threadHeader.copyWorkingDirectory":"复制工作目录","threadHeader.forkIntoLocal":"派生到本地","threadHeader.forkIntoWorktree":"派生到新工作树","threadHeader.forkPendingWorktreePrompt":"将此对话派生到新工作树。","threadHeader.forkPendingWorktreeTitle":"已派生对话","threadHeader.forkThreadError":"无法派生线程","threadHeader.forkThreadRequiresGitRepo":"派生到新工作树需要 git 存储库","threadHeader.moreActions":"线程操作","threadPage.newThread":"新线程","threadPage.runAction.changeEnvironment":"更改环境","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} 操作","threadPage.runAction.environmentSelector.label":"选择环境","threadPage.runAction.label":"运行","threadPage.runAction.missing.label":"设置运行操作","threadPage.runAction.setup.commandLabel":"要运行的命令","threadPage.runAction.setup.description":"告知 Codex 如何安装依赖项并启动你的应用。","threadPage.runAction.setup.editMore":"环境设置","threadPage.runAction.setup.placeholder":"例如：npm install npm run","threadPage.runAction.setup.submit":"保存并运行","threadPage.runAction.setup.title":"运行","threadPage.runAction.tooltip.withEnvironment":"{environmentName} 操作","threadPage.toggleDiffPanel":"切换差异面板","threadPage.toggleTerminal":"切换终端","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"打开文件夹","toolSummaryForCmd.exploredFiles":"<verb>已列出的</verb>文件","toolSummaryForCmd.exploredFilesInPath":"<verb>已列出</verb> {path} 中的文件","toolSummaryForCmd.exploringFiles":"<verb>正在列出</verb>文件","toolSummaryForCmd.exploringFilesInPath":"<verb>正在列出</verb> {path} 中的文件","toolSummaryForCmd.ranGenericCommand":"<status>已运行命令</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>已运行</status> {command}{timer}","toolSummaryForCmd.read":"<verb>已读取</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>正在运行命令</status>{timer}","toolSummaryForCmd.runningTimer":"（{elapsed}）","toolSummaryForCmd.searchedFor":"<verb>已对</verb>“{query}”进行搜索","toolSummaryForCmd.searchedForFiles":"<verb>已搜索</verb>文件","toolSummaryForCmd.searchedForInPath":"<verb>已在</verb> {path} 中搜索“{query}”","toolSummaryForCmd.searchingFor":"<verb>正在搜索</verb>“{query}”","toolSummaryForCmd.searchingForFiles":"<verb>正在搜索</verb>文件","toolSummaryForCmd.searchingForInPath":"<verb>正在</verb> {path} 中搜索“{query}”","traceRecording.details.noteLabel":"发生此情况时你在执行什么操作？（可选）","traceRecording.details.notePlaceholder":"导航至大线程后反复切换标签页…","traceRecording.details.submit":"发送追踪","traceRecording.details.subtitle":"我们可以发送此性能追踪以帮助诊断性能问题。","traceRecording.details.title":"发送性能追踪？","traceRecording.progress.subtitle":"在此过程中保持 Codex 开启。","traceRecording.saving.title":"正在保存追踪…","traceRecording.startDetails.cancel":"取消","traceRecording.startDetails.submit":"确定，开始录制","traceRecording.startDetails.subtitle":"点击“确定”后，重现性能问题，然后点击悬浮的红色指示器停止并查看追踪。","traceRecording.startDetails.title":"追踪录制原理","traceRecording.stopButton.ariaLabel":"停止追踪录制","traceRecording.upload.successToast":"性能追踪已发送。","traceRecording.uploading.title":"正在上传追踪…","wham.diff.addComment":"添加评论","wham.diff.binaryFile":"未显示二进制文件","wham.diff.noContent":"无内容","wham.fileTag.deleted":"已删除","wham.fileTag.new":"新","wham.formattedRelativeDateTime.compactDaysAgo":"{value} 天","wham.formattedRelativeDateTime.compactHoursAgo":"{value} 小时","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} 分","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} 个月","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} 周","wham.formattedRelativeDateTime.compactYearsAgo":"{value} 年","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"正在处理你的任务","wham.whamProposedTask.title":"建议的任务","wham.whamProposedTask.useSuggestion":"使用建议","workspaceRootDialog.addError":"无法添加项目","workspaceRootDialog.cancel":"取消","workspaceRootDialog.confirmAdd":"添加项目","workspaceRootDialog.confirmPick":"使用项目","workspaceRootDialog.description":"输入 {host} 上用作项目的路径。","workspaceRootDialog.pathLabel":"项目路径","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"添加项目路径","workspaceRootDialog.title.pick":"选择项目路径","worktreeInitV2.cancel":"取消","worktreeInitV2.notification.failedTitle":"工作树设置失败","worktreeInitV2.output.empty":"正在等待输出…","worktreeInitV2.status.error":"工作树设置失败。","worktreeInitV2.status.running":"正在创建工作树并运行设置流程。","worktreeInitV2.status.runningFork":"正在创建工作树以派生此对话。","worktreeInitV2.status.success":"工作树已就绪。","worktreeInitV2.title":"正在创建工作树","worktreeInitV2.workLocallyInstead":"改为本地处理","worktreeRestoreBanner.body":"此线程的工作树已为节省磁盘空间而被移除","worktreeRestoreBanner.missing.body":"此线程的工作目录已不存在","worktreeRestoreBanner.missing.title":"当前工作目录缺失","worktreeRestoreBanner.restore.error":"无法还原工作树：{message}","worktreeRestoreBanner.restore.success":"工作树已还原","worktreeRestoreBanner.restoreCta":"还原工作树","worktreeRestoreBanner.title":"工作树已清空"};Object.assign(e,globalThis.codexI18nOverrides?.["zh-CN"]);export{e as default};
 //# sourceMappingURL=zh-CN-LCUm_DVW.js.map
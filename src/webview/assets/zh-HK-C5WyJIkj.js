@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"複製","app.sidebar.hide":"隱藏側邊欄","app.sidebar.show":"顯示側邊欄","app.sidebar.tooltip":"切換側邊欄開關","appHeader.installUpdate":"更新","appSunset.body":"現已不再支援此應用程式版本，請從<here>此處</here>下載最新版本。","appSunset.title":"需要更新","automation.updateDirective.create":"建立","automation.updateDirective.open":"開啟","automation.updateDirective.untitled":"未命名的自動化程序","automation.updateDirective.update":"更新","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# 次嘗試}}","cloudTaskRow.archiveError":"無法將任務存檔","code.diff.requestChange":"要求變更","code.diffComment.cancel":"取消","code.diffComment.comment":"評論","code.diffComment.delete":"刪除","code.diffComment.save":"儲存","codeReviewAssistant.location":"{file}：{start} 至 {end}","codeReviewAssistant.noFindings":"未報告任何調查結果。","codex.alert.closeAriaLabel":"關閉","codex.appUpsellBanner.cbpApi.message":"使用 Codex 應用程式加快開發速度。立即下載或{learnMoreLink}。","codex.appUpsellBanner.download":"下載","codex.appUpsellBanner.freeGo.message":"由即日起至 3 月 2 日，你的計劃將包括 Codex。立即試用 Codex 應用程式，加快開發速度。","codex.appUpsellBanner.later":"稍後再說","codex.appUpsellBanner.learnMoreLowercase":"了解詳情","codex.appUpsellBanner.new":"新","codex.appUpsellBanner.proPlusBusiness.message":"由即日起至 4月 2 日，試用 Codex 應用程式可享 2 倍速率限額。立即下載或{learnMoreLink}","codex.appUpsellBanner.title":"Codex 應用程式","codex.applyDropdown.header.changes":"變更 ","codex.applyDropdown.header.fileCount":"{count, plural, other {# 個檔案}}","codex.applyDropdown.header.rows":"行","codex.applyDropdown.header.title":"套用變更","codex.applyDropdown.header.workspace":"項目","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} 個檔案發生衝突：}}","codex.applyDropdown.results.empty":"沒有複製任何檔案","codex.applyDropdown.results.skipped":"{count, plural, other {已略過 {count} 個檔案：}}","codex.applyOrRevertBanner.apply":"套用","codex.applyOrRevertBanner.applyMessage":"套用變更並在本機繼續？","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"此任務在 {environment} 中建立，可能無法完整套用。","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"變更在 {environment} 中建立，可能無法完整套用。","codex.applyOrRevertBanner.reapply":"重新套用","codex.applyOrRevertBanner.revert":"恢復","codex.applyOrRevertBanner.revertMessage":"恢復已套用的變更？","codex.applyResultsDialog.applied":"已完整套用 ({count} 項)","codex.applyResultsDialog.close":"關閉","codex.applyResultsDialog.conflicted":"發生衝突 ({count} 項)","codex.applyResultsDialog.noDetails":"沒有檔案詳情可供查看。","codex.applyResultsDialog.skipped":"已略過 ({count} 項)","codex.applyResultsDialog.title":"套用結果","codex.archiveInfo":"查看{dataControlsLink}中已封存的聊天。","codex.archiveInfo.dataControlsLink":"資料控制","codex.archiveInfo.electron":"查看{settingsLink}中已存檔的聊天。","codex.archiveInfo.extension":"查看 .codex 資料夾中已封存的聊天。","codex.archiveInfo.settingsLink":"設定","codex.banner.content.description":"同步執行任務、隨時隨地追蹤進度，以及使用 AI 檢查 PR，","codex.banner.content.headline":"Codex 一手包辦。","codex.cloudTaskRow.archiveTask":"將任務存檔","codex.cloudTaskRow.confirmArchiveTask":"確認","codex.command.feedback":"反饋","codex.command.findInThread":"尋找","codex.command.forceReloadSkills":"強制重新載入技能","codex.command.logOut":"登出","codex.command.manageTasks":"管理任務","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"返回","codex.command.navigateForward":"下一頁","codex.command.newThread":"新對話串","codex.command.nextThread":"下一個對話串","codex.command.openFolder":"開啟資料夾","codex.command.openSkills":"前往技能","codex.command.openThreadOverlay":"彈出對話串","codex.command.personalitySettings":"個性","codex.command.previousThread":"上一個對話串","codex.command.settings":"設定","codex.command.toggleDiffPanel":"切換差異面板","codex.command.toggleSidebar":"切換側邊欄開關","codex.command.toggleTerminal":"切換終端機開關","codex.commandGroup.app":"應用程式","codex.commandGroup.configure":"配置","codex.commandGroup.navigation":"導航","codex.commandGroup.panels":"面板","codex.commandGroup.skills":"技能","codex.commandGroup.thread":"對話串","codex.commandGroup.workspace":"項目","codex.commandMenu.noResults":"找不到相符結果","codex.commandMenu.searchPlaceholder":"搜尋指令","codex.commandMenu.suggestedGroup":"建議","codex.commandMenu.switchWorkspace":"切換項目","codex.commandMenu.title":"指令選單","codex.common.retry":"重試","codex.composer.searchBranches":"搜尋分支","codex.dialog.basic.body":"這個簡單的模態對話框使用我們的 Radix Dialog 包裝。","codex.dialog.basic.cancel":"取消","codex.dialog.basic.confirm":"確認","codex.dialog.basic.open":"開啟對話","codex.dialog.basic.title":"對話範本","codex.dialog.long.close":"關閉","codex.dialog.long.line":"可捲動行列 {index} 用於展示對話內的長篇內容。","codex.dialog.long.open":"開啟長篇對話","codex.dialog.long.title":"長篇內容對話","codex.dialog.unstyled.body":"此案例展示了來電者完全掌控對話內容樣式的方法。","codex.dialog.unstyled.open":"開啟未樣式化的對話","codex.dialog.unstyled.title":"未樣式化的內容","codex.diff.openInEditorPrompt.openButton":"使用編輯器開啟","codex.diff.openInEditorPrompt.singleLine":"檔案太大，無法在此顯示。","codex.diffView.failedToDecodeBase64Diff":"base64 差異解碼未能成功","codex.diffView.filesChanged":"{fileCount, plural, other {已變更 # 個檔案}}","codex.diffView.imagePreviewAlt":"圖像預覽","codex.diffView.imagePreviewEmpty":"沒有圖像","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"沒有差異數據","codex.diffView.pdfPreview.nextPage":"下一頁","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"上一頁","codex.diffView.pdfPreviewEmpty":"沒有 PDF 預覽","codex.diffView.pdfPreviewError":"無法渲染 PDF 預覽","codex.diffView.richPreviewDisable":"停用多媒體預覽","codex.diffView.richPreviewEnable":"啟用多媒體預覽","codex.diffView.richPreviewLoading":"正在載入預覽…","codex.diffView.richPreviewToggle":"切換多媒體預覽","codex.diffView.switchToUnified":"切換至統一差異","codex.environmentSelector.noEnvironment":"未選取任何環境","codex.environments.environmentSettings":"環境設定","codex.environments.learnMore":"了解詳情","codex.environments.listError":"無法載入環境。","codex.environments.noEnvironmentsFound":"找不到環境","codex.environments.searchError":"無法搜尋環境。","codex.errorBoundary.genericError":"抱歉，發生錯誤！","codex.errorBoundary.goHome":"重試","codex.file.patch.missing":"無法為此檔案建立修補程式。","codex.gallery.automations.cwdLabel":"項目","codex.gallery.automations.nameLabel":"名稱","codex.gallery.automations.namePlaceholder":"總結任務摘要","codex.gallery.automations.promptLabel":"提示詞","codex.gallery.automations.promptPlaceholder":"描述 Codex 應採取的行動","codex.gallery.dialogs.automation.label":"自動化對話","codex.gallery.dialogs.basic.body":"將此佈局用於直接確認訊息或簡短表格。","codex.gallery.dialogs.basic.cancel":"取消","codex.gallery.dialogs.basic.confirm":"確認","codex.gallery.dialogs.basic.label":"基本對話","codex.gallery.dialogs.basic.title":"對話範本","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"描述問題","codex.gallery.dialogs.feedbackSubmission.bad":"結果欠佳","codex.gallery.dialogs.feedbackSubmission.bug":"錯誤","codex.gallery.dialogs.feedbackSubmission.good":"結果出色","codex.gallery.dialogs.feedbackSubmission.includeLogs":"包括當前 Codex 工作階段的記錄","codex.gallery.dialogs.feedbackSubmission.label":"提交反饋","codex.gallery.dialogs.feedbackSubmission.other":"其他","codex.gallery.dialogs.feedbackSubmission.placeholder":"請在此處描述問題","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"安全檢查","codex.gallery.dialogs.feedbackSubmission.submit":"提交","codex.gallery.dialogs.feedbackSubmission.title":"反饋","codex.gallery.dialogs.feedbackSuccess.body":"已上載反饋。如果問題持續，請在 GitHub 提交問題報告，或在現有的未解決問題中提及該對話串 ID：","codex.gallery.dialogs.feedbackSuccess.dismiss":"略過","codex.gallery.dialogs.feedbackSuccess.label":"反饋成功","codex.gallery.dialogs.feedbackSuccess.title":"已上載反饋","codex.gallery.dialogs.gitApplyResults.applied":"已完整套用 (2)","codex.gallery.dialogs.gitApplyResults.close":"關閉","codex.gallery.dialogs.gitApplyResults.conflicted":"發生衝突 (1)","codex.gallery.dialogs.gitApplyResults.label":"套用結果","codex.gallery.dialogs.gitApplyResults.title":"套用結果","codex.gallery.dialogs.gitPushError.body":"拉取最新變更，或在確定遠端使用記錄可安全覆蓋的情況下強制推送。","codex.gallery.dialogs.gitPushError.cancel":"取消","codex.gallery.dialogs.gitPushError.force":"強行推送","codex.gallery.dialogs.gitPushError.label":"推送錯誤","codex.gallery.dialogs.gitPushError.subtitle":"你的分支落後於原有/主要分支。","codex.gallery.dialogs.gitPushError.title":"無法推送變更","codex.gallery.dialogs.gitRevert.cancel":"取消","codex.gallery.dialogs.gitRevert.confirm":"恢復","codex.gallery.dialogs.gitRevert.label":"復原變更","codex.gallery.dialogs.gitRevert.skip":"不要再問","codex.gallery.dialogs.gitRevert.subtitle":"此行動將移除所有變更。","codex.gallery.dialogs.gitRevert.title":"復原變更？","codex.gallery.dialogs.longForm.label":"長篇表格對話","codex.gallery.dialogs.proseModal.body":"此模態樣式用於較長的說明、上線指引或內容豐富的區塊。","codex.gallery.dialogs.proseModal.close":"關閉","codex.gallery.dialogs.proseModal.subtitle":"請在此處分享較長的指引或文件。","codex.gallery.dialogs.proseModal.title":"散文模態","codex.gallery.dialogs.submitBlocked.label":"提交操作被攔截","codex.gallery.dialogs.submitBlocked.message":"由於該項目無法使用，你的訊息無法發送。","codex.gallery.dialogs.submitBlocked.ok":"確認","codex.gallery.dialogs.submitBlocked.title":"無法傳送訊息","codex.gallery.dialogs.title":"對話","codex.gallery.dropdown.filterPlaceholder":"篩選項目","codex.gallery.dropdowns.actionRow":"操作列","codex.gallery.dropdowns.actionRow.disabled":"已停用的操作","codex.gallery.dropdowns.actionRow.primary":"主要操作","codex.gallery.dropdowns.actionRow.secondary":"次要操作","codex.gallery.dropdowns.actionRow.trigger":"顯示操作","codex.gallery.dropdowns.basic":"基本下拉式選單","codex.gallery.dropdowns.basic.newFile":"新增檔案","codex.gallery.dropdowns.basic.newFolder":"新建資料夾","codex.gallery.dropdowns.basic.openSettings":"開啟設定","codex.gallery.dropdowns.basic.title":"快捷操作","codex.gallery.dropdowns.basic.trigger":"開啟選單","codex.gallery.dropdowns.basic.upload":"上載","codex.gallery.dropdowns.panel":"面板介面","codex.gallery.dropdowns.panel.apply":"套用","codex.gallery.dropdowns.panel.body":"查看差異並套用至你的項目。","codex.gallery.dropdowns.panel.preview":"預覽","codex.gallery.dropdowns.panel.title":"套用變更","codex.gallery.dropdowns.panel.trigger":"開啟面板","codex.gallery.dropdowns.search":"可搜尋的下拉式選單","codex.gallery.dropdowns.search.first":"Alpha 頻道","codex.gallery.dropdowns.search.second":"Beta 分支","codex.gallery.dropdowns.search.third":"候選發佈版本","codex.gallery.dropdowns.search.trigger":"篩選項目","codex.gallery.dropdowns.submenu":"帶有子選單的下拉式選單","codex.gallery.dropdowns.submenu.optionA":"項目 alpha","codex.gallery.dropdowns.submenu.optionB":"項目 beta","codex.gallery.dropdowns.submenu.optionC":"項目 gamma","codex.gallery.dropdowns.submenu.primary":"分配擁有者","codex.gallery.dropdowns.submenu.secondary":"移至","codex.gallery.dropdowns.submenu.tertiary":"封存","codex.gallery.dropdowns.submenu.trigger":"選擇操作","codex.gallery.dropdowns.title":"下拉式選單","codex.gallery.inbox.automations.close":"關閉","codex.gallery.inbox.automations.popover.cardTitle":"管理自動化程序","codex.gallery.inbox.automations.popover.dialogTitle":"管理自動化程序","codex.header.settingsTooltip":"設定","codex.hunk.patch.error":"無法暫存","codex.hunk.patch.missing":"無法為此差異區塊建立修補程式。","codex.hunk.patch.partialSuccess":"部分成功","codex.hunk.patch.revertError":"無法取消暫存","codex.hunk.patch.revertSuccess":"成功取消暫存","codex.hunk.patch.success":"成功暫存","codex.legal.autonomy.details":"如需進一步了解詳情，請查看 {link}","codex.legal.autonomy.details.link":"Codex 參考指南","codex.legal.autonomy.title":"決定你想賦予的自主程度","codex.legal.backButton":"返回","codex.legal.cloud.taskOne.meta":"openai/agi · 10 月 12 日","codex.legal.cloud.taskOne.title":"向新設計師說明儲存庫","codex.legal.cloud.taskThree.meta":"openai/codex · 10 月 8 日","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"創作深色模式主題","codex.legal.cloud.taskTwo.meta":"openai/agi · 10 月 9 日","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"修正上線錯誤","codex.legal.continue.apikey":"繼續","codex.legal.continueButton":"下一步","codex.legal.copilot.details":"使用你的 Copilot 計劃進行模型呼叫、處理帳單，以及設立用量限制等各式任務。Codex 的擴充功能使用情況受 {oaiTos}及 {gitHubTos}約束。","codex.legal.copilot.gitHubTosLink":"GitHub 服務條款","codex.legal.copilot.oaiTosLink":"OpenAI Codex 服務條款","codex.legal.copilot.title":"使用 GitHub Copilot 作為核心","codex.legal.mistakes.review":"檢查 Codex 編寫的程式碼及其執行的指令","codex.legal.mistakes.title":"Codex 可能會出錯","codex.legal.powered.details":"使用你的計劃用量限額及{link}","codex.legal.powered.details.link":"訓練數據偏好設定","codex.legal.powered.title":"使用你的 ChatGPT 帳戶作為核心","codex.legal.step.cloud.subtitle":"將任務傳送至 Codex 以在背景執行，讓你能夠專注工作並提升效率。","codex.legal.step.cloud.title":"透過雲端將工作轉交 Codex","codex.legal.step.intro.subtitle":"Codex 可直接瀏覽你的儲存庫，並在當中編輯和執行指令，以及進行測試。全數功能使用你的 ChatGPT 帳戶作為核心。","codex.legal.step.intro.title":"在你的 IDE 中使用 Codex","codex.legal.step.todo.subtitle":"撰寫 TODO 意見備註，然後按一下即可將其轉為 Codex 任務。","codex.legal.step.todo.title":"將 TODO 轉為 Codex 任務","codex.legal.todo.heading":"// TODO：執行架構","codex.localConversation.closeImagePreview":"關閉圖像預覽","codex.localConversation.userImageAttachment":"用戶附件","codex.localTaskRow.archiveTask":"將對話串存檔","codex.localTaskRow.awaitingApproval":"正在等待核准","codex.localTaskRow.awaitingResponse":"正在等候回覆","codex.localTaskRow.confirmArchiveTask":"確認","codex.loggedOut.apiKeyPrompt.cancel":"取消","codex.loggedOut.apiKeyPrompt.confirm":"確認","codex.loggedOut.apiKeyPrompt.getKey":"獲取 API 金鑰","codex.loggedOut.apiKeyPrompt.inputLabel":"輸入你的 OpenAI API 金鑰","codex.loggedOut.apiKeyPrompt.placeholder":"sk-…","codex.loggedOut.cloudTasksDisabledWithApiKey":"雲端任務已透過 API 金鑰停用","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"雲端任務已透過 Copilot 及 API 金鑰停用","codex.loggedOut.signIn":"使用 ChatGPT 登入","codex.loggedOut.signIn.cancel":"取消登入","codex.loggedOut.signInWithCopilot":"使用 GitHub Copilot 登入","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"使用 API 金鑰","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool}工具","codex.mcpTool.collapsedLabel.verb.called":"已調用","codex.mcpTool.collapsedLabel.verb.calling":"正在調用","codex.mcpTool.embeddedResource.contentLabel":"內容","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME 類型","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"工具沒有傳回內容","codex.mcpTool.rawPayloadHeading":"原始{server}。{tool} 工具呼叫負載","codex.menu.recent":"最近","codex.menu.seeAllHistory":"查看完整紀錄","codex.modelCapacityBanner.headline.noReset":"{modelName} 目前已達使用上限。請稍後再試，或與其他模型展開新對話。","codex.modelCapacityBanner.headline.withReset":"{modelName} 目前已達使用上限。請在{resetDate}後重試，或與其他模型展開新對話。","codex.modelCapacityBanner.title":"所選模型目前已達使用上限","codex.patch.change.contentsDeleted":"內容已刪除","codex.patch.change.created":"建立日期","codex.patch.change.created-file":"已建立檔案","codex.patch.change.creating":"正在建立","codex.patch.change.deleted":"已刪除","codex.patch.change.deleted-file":"已刪除檔案","codex.patch.change.deleting":"正在刪除","codex.patch.change.edited":"已編輯","codex.patch.change.edited-file":"已編輯的檔案","codex.patch.change.editing":"正在編輯","codex.patch.change.noChanges":"沒有變更","codex.patch.change.rejected-add":"已被拒絕","codex.patch.change.rejected-delete":"已被拒絕","codex.patch.change.rejected-edit":"已被拒絕","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"已完成 {completed} 項任務，共 {total} 項任務","codex.plan.todoListCreated":"已建立有 {total} 項任務的待辦事項清單","codex.profileDropdown.apiKeyAuth":"已使用 API 金鑰登入","codex.profileDropdown.codexSettings":"Codex 設定","codex.profileDropdown.copilotAuth":"已使用 Copilot 登入","codex.profileDropdown.defaultAccountTitle":"預設帳戶","codex.profileDropdown.enterBehavior":"按下 {modifierSymbol} + Enter 鍵傳送長提示詞","codex.profileDropdown.enterBehaviorError":"無法更新設定","codex.profileDropdown.getPlus":"升級以專享更高限額","codex.profileDropdown.keyboardShortcuts":"鍵盤快捷鍵","codex.profileDropdown.language":"語言","codex.profileDropdown.languageDefault":"自動偵測","codex.profileDropdown.languageSearchPlaceholder":"搜尋語言","codex.profileDropdown.languageUpdateError":"無法更新語言","codex.profileDropdown.logOut":"登出","codex.profileDropdown.mcp":"MCP 設定","codex.profileDropdown.openConfigToml":"開啟 config.toml","codex.profileDropdown.openConfigToml.wsl":"在 WSL 環境開啟 config.toml","codex.profileDropdown.openExtensionSettings":"開啟設定","codex.profileDropdown.openMcpSettings":"開啟 MCP 設定","codex.profileDropdown.openOnStartup":"啟動時開啟","codex.profileDropdown.openOnStartupError":"無法更新設定","codex.profileDropdown.openSkillsSettings":"開啟技能設定","codex.profileDropdown.personalAccountTitle":"個人帳戶","codex.profileDropdown.queueFollowUps":"將跟進工作加入佇列","codex.profileDropdown.queueFollowUpsError":"無法更新設定","codex.profileDropdown.readDocs":"閱讀參考指南","codex.profileDropdown.readSkillsDocs":"閱讀參考指南","codex.profileDropdown.runInWsl":"在 WSL 中執行","codex.profileDropdown.runInWslError":"無法更新設定","codex.profileDropdown.runInWslTooltip":"在 WSL 中執行 Codex；此建議選項有助加強沙盒的系統防護機制及改善效能。","codex.profileDropdown.settings":"IDE 設定","codex.profileDropdown.settingsPage":"設定","codex.profileDropdown.signInWithOpenAI":"使用 ChatGPT 登入","codex.profileDropdown.skills":"技能設定","codex.profileDropdown.switchToCopilotAccount":"使用 Copilot 帳戶","codex.profileDropdown.switchToOpenAIAccount":"使用 OpenAI 帳戶","codex.profileDropdown.todoCodelens":"修正 TODO 意見備註","codex.profileDropdown.todoCodelensError":"無法更新設定","codex.profileDropdown.windowsDocumentation":"Windows 參考文件","codex.profileFooter.signedInFallback":"設定","codex.profileFooter.upgrade":"升級","codex.recentTasksMenu.clearSearch":"清除搜尋內容","codex.recentTasksMenu.cloud":"雲端任務","codex.recentTasksMenu.count":"{count, plural, =0 {沒有任務正在處理} other {正在處理 # 項任務}}","codex.recentTasksMenu.empty":"尚無對話串","codex.recentTasksMenu.errorCloud":"無法載入任務。","codex.recentTasksMenu.errorCloud.inline":"無法載入雲端任務。","codex.recentTasksMenu.filterAll":"全部","codex.recentTasksMenu.filterCloudTasks":"篩選雲端任務","codex.recentTasksMenu.filterTooltip":"按環境篩選任務","codex.recentTasksMenu.local":"本機任務","codex.recentTasksMenu.recent":"全部任務","codex.recentTasksMenu.search":"搜尋最近的任務","codex.recentTasksMenu.searchEmpty":"查無結果","codex.recentTasksMenu.tooltip":"任務紀錄","codex.recentTasksMenu.trigger":"最近的任務。{count, plural, other {正在處理 # 項}}","codex.remoteConversation.applyDiff.applyCta":"套用變更","codex.remoteConversation.applyDiff.dropdownTitle":"將變更套用至本機分支","codex.remoteConversation.applyDiff.revertCta":"復原變更","codex.remoteConversation.closeImagePreview":"關閉圖像預覽","codex.remoteConversation.codexCloudTask":"你正在查看 <u>Codex Cloud</u> 任務","codex.remoteConversation.errorWithMessage":"錯誤：{message}","codex.remoteConversation.loadingImage":"正在載入圖像","codex.remoteConversation.openInWeb":"在網頁開啟","codex.remoteConversation.streaming":"開始使用","codex.remoteConversation.turnFailed":"執行此任務時發生錯誤","codex.remoteConversation.turnTab.loading":"嘗試 {number}","codex.remoteConversation.turnTab.title":"嘗試 {number}","codex.remoteConversation.userImageAttachment":"用戶附件","codex.remoteConversation.viewPreviousTurns":"在網頁開啟","codex.remoteConversation.viewPreviousTurns.buttonText":"開啟","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"在網頁開啟","codex.review.copyGitApplyCommand":"複製 Git 套用指令","codex.review.copyGitApplyCommand.toast":"已將 Git 套用指令複製到剪貼簿","codex.review.diffTooLarge.description":"差異太大，無法在「檢查」模式中顯示。","codex.review.diffTooLarge.title":"差異太大，無法顯示","codex.review.expandOrCollapseDiffButton.collapse":"收起全部差異","codex.review.expandOrCollapseDiffButton.expand":"展開全部差異","codex.review.expandOrCollapseDiffMenu.collapse":"收起全部差異","codex.review.expandOrCollapseDiffMenu.expand":"展開全部差異","codex.review.fileSearch.clear":"清除檔案篩選條件","codex.review.fileSearch.empty":"沒有檔案與目前的篩選條件相符。","codex.review.fileSearch.label":"篩選檔案","codex.review.fileSearch.placeholder":"篩選檔案…","codex.review.filesChanged":"{num, plural, =0 {未更改任何檔案} other {已更改 # 個檔案}}","codex.review.find.loadMore":"載入更多相符結果","codex.review.fullReview.hideFileTree":"隱藏檔案樹","codex.review.fullReview.showFileTree":"顯示檔案樹","codex.review.header.moreOptions":"查看選項","codex.review.largeDiff.banner":"偵測到巨大差異；每次將顯示一個檔案。","codex.review.loadFullFiles.disable":"不要載入完整檔案","codex.review.loadFullFiles.enable":"載入完整檔案","codex.review.noDiff":"檔案變更將在此顯示","codex.review.noDiff.gitInit.createRepository":"建立 Git 儲存庫","codex.review.noDiff.gitInit.creating":"正在建立…","codex.review.noDiff.gitInit.error":"Git 未能啟動：{message}","codex.review.noDiff.gitInit.success":"已建立 Git 儲存庫","codex.review.noDiff.gitRepoRequired.description":"追蹤並復原此項目的變更","codex.review.noDiff.gitRepoRequired.title":"建立 Git 儲存庫","codex.review.noDiff.orNoLongerAvailable":"或最新的差異已消除","codex.review.noDiff.reverted":"已恢復上一個輪次","codex.review.noDiff.revertedOrCommitted":"已恢復或提交上一個輪次","codex.review.refreshGitQueries":"重新整理","codex.review.revert.file.error":"無法恢復 {path}","codex.review.revert.file.partialSuccess":"{path} 已部分恢復","codex.review.revert.file.success":"已恢復 {path}","codex.review.revert.hunk.error":"無法恢復 {path} 中的差異區塊 {hunkNumber}。","codex.review.revert.hunk.partialSuccess":"{path} 中的差異區塊 {hunkNumber} 已部分恢復","codex.review.revert.hunk.success":"已恢復 {path} 中的差異區塊 {hunkNumber}","codex.review.revert.section.error":"無法恢復區域","codex.review.revert.section.partialSuccess":"區域已部分恢復","codex.review.revert.section.success":"區域已恢復","codex.review.revertDialog.cancel":"取消","codex.review.revertDialog.confirm":"確認","codex.review.revertDialog.message":"此行動將移除所有變更。","codex.review.revertDialog.skip":"不要再問","codex.review.revertDialog.title":"復原變更？","codex.review.richPreview.disable":"停用多媒體預覽","codex.review.richPreview.enable":"啟用多媒體預覽","codex.review.source.cloud":"雲端變更","codex.review.source.local.all":"所有分支變更","codex.review.source.local.lastTurn":"最新輪次變更","codex.review.source.local.uncommitted":"未提交的變更","codex.review.source.worktree":"未提交的工作樹變更","codex.review.stageFilter.empty.staged.description":"接受以暫存變更","codex.review.stageFilter.empty.staged.title":"沒有暫存變更","codex.review.stageFilter.empty.unstaged.description":"程式碼變更會在此顯示","codex.review.stageFilter.empty.unstaged.title":"沒有未暫存變更","codex.review.stageFilter.staged":"已暫存","codex.review.stageFilter.staged.count":"已暫存 · {count} 個","codex.review.stageFilter.unstaged":"未暫存","codex.review.stageFilter.unstaged.count":"未暫存· {count} 個","codex.review.switchToSplit":"切換至並排差異畫面","codex.review.switchToUnified":"切換至統一差異","codex.review.toggleDiffView":"切換差異畫面","codex.review.wordDiffs.disable":"停用文本差異","codex.review.wordDiffs.enable":"啟用文本差異","codex.review.wrap.disable":"停用自動換行","codex.review.wrap.enable":"啟用自動換行","codex.section.patch.missing":"無法為此部分建立修補程式。","codex.shell.collapse":"收起 Shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"已複製 Shell 內容","codex.shell.copy.copyTooltip":"複製 Shell 內容","codex.shell.copyCommand":"複製指令","codex.shell.copyOutput":"複製輸出","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"展開 Shell","codex.shell.name":"Shell","codex.shell.noOutput":"沒有輸出","codex.signInFailed.message":"登入失敗：{rawMessage}","codex.stories.toast.show":"顯示 Toast","codex.stories.tooltip.basic":"這是一則工具提示","codex.stories.tooltip.hoverMe":"懸浮在我之上","codex.stories.tooltip.largerOffset":"此工具提示的位移較大","codex.stories.tooltip.offsetButton":"較大位移","codex.stories.tooltip.shortcutButton":"使用快捷方式","codex.stories.tooltip.withShortcut":"切換終端機開關","codex.taskRow.title":"新對話串","codex.taskRowLayout.confirm":"確認","codex.threadFindBar.chatFilter":"搜尋對話","codex.threadFindBar.close":"關閉搜尋列","codex.threadFindBar.diffFilter":"搜尋差異","codex.threadFindBar.label":"在對話串中尋找","codex.threadFindBar.nextResult":"下一個結果","codex.threadFindBar.noResults":"0 個結果","codex.threadFindBar.placeholder":"搜尋對話串…","codex.threadFindBar.placeholder.extension":"搜尋對話串…","codex.threadFindBar.placeholder.review":"搜尋差異…","codex.threadFindBar.placeholder.review.extension":"搜尋差異…","codex.threadFindBar.previousResult":"上一個結果","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {已更改 # 個檔案}}","codex.unifiedDiff.inlineLargeFile":"尺寸太大，無法在內文中渲染","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"復原","codex.unifiedDiff.revertPatchError":"無法復原變更","codex.unifiedDiff.revertPatchSuccess":"變更已復原","codex.unifiedDiff.reviewChangesSuffix":"變更","codex.unifiedDiff.reviewShort":"查看","codex.unifiedDiff.viewDiffTooltip":"查看","codex.upsellBanner.business.headline":"如要立即獲得更多存取限額，請向管理員提交申請，或等待直至 {resetDate}。","codex.upsellBanner.cbp.headline":"若要立即獲得更多存取權，請向你的管理員提交申請。","codex.upsellBanner.cta.addCredits":"新增積分","codex.upsellBanner.cta.upgradeAccount":"升級","codex.upsellBanner.cta.viewUsage":"查看用量","codex.upsellBanner.free.trialHeadline":"速率限額將於{resetDate}重設。如要繼續使用 Codex 及存取 GPT-5.3-Codex，請即開始免費試用 Plus 計劃。","codex.upsellBanner.freeOrGo.headline":"速率限額將於 {resetDate}重設。如要繼續使用 Codex，請即升級至 Plus。","codex.upsellBanner.general.headline":"速率限額將於 {resetDate}重設。","codex.upsellBanner.general.title":"你的 Codex 訊息已耗盡。","codex.upsellBanner.go.trialHeadline":"速率限額將於{resetDate}重設。如要繼續使用 Codex，請即開始免費試用 Plus 計劃。","codex.upsellBanner.plus.headline":"速率限額將於 {resetDate}重設。如要繼續使用 Codex，請即新增積分或升級至 Pro。","codex.upsellBanner.pro.headline":"速率限額將於 {resetDate}重設。請即新增積分以繼續使用 Codex。","codex.userMessage.autoResolveSync":"自動解決衝突","codex.userMessage.commentCount":"{count, plural, other {# 則評論}}","codex.userMessage.copiedAriaLabel":"已複製","codex.userMessage.copiedTooltip":"已複製","codex.userMessage.copyAriaLabel":"複製訊息","codex.userMessage.copyTooltip":"複製","codex.userMessage.implementPlan":"實行計劃","codex.userMessage.noContent":"（沒有內容）","codex.userMessage.priorConversation":"參考先前的對話","codex.userMessage.reviewMode":"審核模式","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"執行時間：{query}","codex.webSearch.summary.verb.completed":"已搜尋網頁","codex.webSearch.summary.verb.inProgress":"正在搜尋網頁","codex.windowsInstallWslBanner.dismiss":"略過","codex.windowsInstallWslBanner.installWslCta":"啟用沙盒","codex.windowsInstallWslBanner.learnMore":"了解詳情","codex.windowsSandboxBanner.content":"代理模式會在 Windows 上使用實驗版沙盒來限制檔案系統及網絡存取。{sandboxLink}","codex.windowsSandboxBanner.title":"為代理模式啟用沙盒","codex.windowsSubDropdown.windowsSandbox":"Windows 沙盒","codex.windowsSubDropdown.windowsSettings":"Windows 設定","codexUpgradeModal.body":"我們最新的前沿編碼模型不但更聰明快捷，而且更擅長處理一般技術工作。{link}","codexUpgradeModal.close":"關閉","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"了解詳情","codexUpgradeModal.title":"GPT-5.3-Codex 登場","codexUpgradeModal.tryNewModel":"立即試試 GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"使用當前模型繼續","commentAttachments.numComments":"{count, plural, other {# 則評論}}","commentAttachments.removeAriaLabel":"移除評論附件","common.close":"關閉","composer.addContext.openFilePickerError":"無法開啟檔案選擇器","composer.addContextDropdown.ariaLabel":"新增檔案和其他内容","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"新增檔案和其他内容","composer.addPhotosAndFiles":"新增照片與檔案","composer.atMentionList.emptyQuery":"輸入內容以搜尋檔案","composer.atMentionList.loading":"正在搜尋檔案…","composer.atMentionList.noResults":"查無結果","composer.attemptsSelector.option":"{count, plural, other {# 個版本}}","composer.attemptsSelector.tooltip":"Codex 可同步嘗試的次數","composer.attemptsSelector.trigger":"{count} 個","composer.backgroundTerminals.runningLabel":"正在執行 {count, plural, other {# 個終端機}}","composer.backgroundTerminals.stop":"停止","composer.cleanBackgroundTerminals.error":"無法停止背景終端機。","composer.cloudFollowUp.cloud":"雲端","composer.cloudFollowUp.local":"本機","composer.cloudFollowUp.whereRun":"此後續程序應在何處執行？","composer.cloudTaskCreationError":"建立雲端任務時發生錯誤","composer.cloudTaskError":"建立任務時發生錯誤","composer.contextWindow.autoCompactionTooltipLine1":"Codex 將自動縮小情境","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"情境用量：","composer.contextWindowUsageStatusFull":"已耗用 {usage}%","composer.contextWindowUsageStatusLeft":"已耗用 {usage}%（尚餘 {remaining}%）","composer.contextWindowUsageTooltip":"已使用 {usedTokens}k / {contextWindow}k Token","composer.customCliTooltip":"使用自訂 CLI 執行","composer.dictation.aria":"聽寫","composer.dictation.cancel.aria":"停止口述","composer.dictation.cancel.tooltip":"停止口述","composer.dictation.startError":"無法開始聽寫","composer.dictation.submit.aria":"轉錄並傳送","composer.dictation.submit.tooltip":"轉錄並傳送","composer.dictation.tooltip":"長按即可口述","composer.dictation.transcribeError":"無法轉錄音訊","composer.dictation.unsupported":"無法在此裝置上使用聽寫功能","composer.dropOverlay.holdShift":"長按 {key}以拖放","composer.dropOverlay.shiftKey":"Shift 鍵","composer.environmentSelector.createNew":"建立新環境","composer.environmentSelector.error":"載入環境時發生錯誤","composer.environmentSelector.goBack":"返回 Composer","composer.environmentSelector.title":"選取環境","composer.environmentSelector.tooltip":"選擇雲端環境","composer.feedbackSlashCommand.title":"反饋","composer.filePicker.selectFile":"選取檔案","composer.filePicker.selectFiles":"選取檔案","composer.followerTooltip":"如要繼續，請返回展開該對話的視窗。","composer.footer.branchSwitch.checkoutError":"無法切換分支：{message}","composer.footer.branchSwitch.createAndCheckout":"建立並檢出新分支…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"提交變更以建立並檢出新分支","composer.footer.branchSwitch.createBranchError":"無法建立分支：{message}","composer.footer.branchSwitch.createDialog.ariaLabel":"分支名稱","composer.footer.branchSwitch.createDialog.branchExistsError":"分支已存在。","composer.footer.branchSwitch.createDialog.close":"關閉","composer.footer.branchSwitch.createDialog.createAndCheckout":"建立並檢出","composer.footer.branchSwitch.createDialog.placeholder":"新分支","composer.footer.branchSwitch.createDialog.title":"建立並檢出分支","composer.footer.branchSwitch.createDialog.trailingSlashError":"分支名稱不能以「/」結尾。","composer.footer.branchSwitch.tooltip":"切換分支","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"提交 {fileCount, plural, other {# 個檔案}}的變更以檢出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"提交","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":" {fileCount, plural, other {# 個檔案}}的變更以檢出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.cancel":"取消","composer.footer.branchSwitch.uncommittedDialog.commit":"提交並切換分支…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"你對下列檔案所作出的變更將由檢出內容覆蓋：","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"請提交變更以繼續","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"所選分支","composer.footer.branchSwitch.uncommittedDialog.title":"提交變更以切換分支","composer.footer.branchSwitch.uncommittedSummaryPrefix":"未提交：{fileCount, plural, other {# 個檔案}}","composer.forkSlashCommand.description":"將此對話串分支複製到本機或新工作樹","composer.forkSlashCommand.option.local.description":"在本機對話串中繼續","composer.forkSlashCommand.option.local.title":"分支複製到本機","composer.forkSlashCommand.option.worktree.description":"在工作樹中繼續","composer.forkSlashCommand.option.worktree.title":"分支複製到新的工作樹","composer.forkSlashCommand.title":"分叉","composer.ideContextIndicator":"IDE 情境","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"包括 IDE 中的上下文，例如{br}當前的選取內容和開啟的檔案。","composer.ideContextIndicator.tooltipToggle":"以切換","composer.ideContextSlashCommand.disableDescription":"停用 IDE 情境","composer.ideContextSlashCommand.enableDescription":"包括 IDE 中當前的選取內容、處理中的檔案及其他情境","composer.ideContextSlashCommand.title":"IDE 情境","composer.imageInputsUnsupported":"此模型不支援圖像輸入內容，請改用其他模型試試。","composer.imageUploadFailed":"無法上傳圖像","composer.includeIdeContextDropdown":"包括 IDE 情境","composer.includeIdeContextDropdown.ariaLabel":"包括 IDE 情境","composer.localCwdDropdown.addWorkspaceRoot":"新增項目","composer.localCwdDropdown.noActiveRoot":"選取項目","composer.localCwdDropdown.noResults":"找不到任何資料夾","composer.localCwdDropdown.title":"選取項目","composer.localTaskError":"展開對話時發生錯誤","composer.mcpSlashCommand.description":"顯示 MCP 伺服器狀態","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"未經驗證","composer.mcpStatus.authOauth":"已通過驗證 (OAuth)","composer.mcpStatus.authToken":"已通過驗證（API 金鑰）","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"關閉","composer.mcpStatus.disabled":"已停用","composer.mcpStatus.emptyLabel":"伺服器：","composer.mcpStatus.emptyValue":"未設定任何 MCP 伺服器","composer.mcpStatus.enabled":"已啟用","composer.mcpStatus.errorLabel":"狀態：","composer.mcpStatus.errorValue":"無法載入 MCP 狀態","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"智能代理","composer.mode.agentMode.auto.dropdownLabel":"智能代理","composer.mode.agentMode.auto.optionLabel":"智能代理","composer.mode.agentMode.changePermission":"切換模式","composer.mode.agentMode.custom":"自訂","composer.mode.agentMode.custom.dropdownLabel":"自訂","composer.mode.agentMode.custom.option":"自訂 (config.toml)","composer.mode.agentMode.custom.optionLabel":"自訂 (config.toml)","composer.mode.agentMode.customInfo.cancel":"取消","composer.mode.agentMode.customInfo.cli":"你可以從 CLI 調整該些設定，也可以直接編輯檔案。","composer.mode.agentMode.customInfo.confirm":"使用自訂模式","composer.mode.agentMode.customInfo.description":"自訂模式會套用你在 <link>config.toml</link> 檔案中所訂定的審批及沙盒政策。","composer.mode.agentMode.customInfo.docs":"如需進一步了解如何配置審批及沙盒政策，請查閱<link>執行環境參考指南</link>。","composer.mode.agentMode.customInfo.refresh":"任何變更將於下次執行智能代理時生效。","composer.mode.agentMode.customInfo.title":"自訂模式的運作方式","composer.mode.agentMode.fullAccess":"智能代理（完整存取權）","composer.mode.agentMode.fullAccess.dropdownLabel":"智能代理（完整存取權）","composer.mode.agentMode.fullAccess.optionLabel":"智能代理（完整存取權）","composer.mode.agentMode.fullAccessConfirm.caution":"啟用完整存取權將大幅增加資料遺失、洩漏或意外行為的風險，因此請慎重決定是否啟用。","composer.mode.agentMode.fullAccessConfirm.confirm":"是，繼續","composer.mode.agentMode.fullAccessConfirm.description":"如在擁有完整存取權的情況下運行， Codex 將可編輯你電腦上的任何檔案，並可在未經你同意的情況下，透過網絡執行指令。","composer.mode.agentMode.fullAccessConfirm.goBack":"取消","composer.mode.agentMode.fullAccessConfirm.title":"啟用完整存取權？","composer.mode.agentMode.readOnly":"聊天","composer.mode.agentMode.readOnly.dropdownLabel":"聊天","composer.mode.agentMode.readOnly.optionLabel":"聊天","composer.mode.agentMode.tooltip":"切換模式","composer.mode.agentMode.tooltip.auto":"讀取和編輯檔案，以及執行指令。","composer.mode.agentMode.tooltip.custom":"使用 config.toml 中所訂定的最新審批及沙盒政策。","composer.mode.agentMode.tooltip.fullAccess":"如擁有網絡存取權限，Codex 可編輯此項目以外的檔案，以及執行指令；使用時請保持謹慎。","composer.mode.agentMode.tooltip.readOnly":"需要核准才能編輯檔案和執行指令","composer.mode.cloud.tooltip":"在雲端環境工作","composer.mode.contactAdmin":"如需進一步的存取權限，請向你的管理員提出申請","composer.mode.local":"本機","composer.mode.local.learnMore":"了解詳情","composer.mode.local.model.custom":"自訂","composer.mode.local.model.loadingModel":"正在載入模型","composer.mode.local.model.selecrReasoningEffort":"選擇推理模式","composer.mode.local.model.selectModel":"選擇模型","composer.mode.local.model.tooltip":"選擇模型","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"高","composer.mode.local.reasoning.low.label":"低","composer.mode.local.reasoning.medium.label":"中","composer.mode.local.reasoning.minimal.label":"最少","composer.mode.local.reasoning.none.label":"無","composer.mode.local.reasoning.xhigh.label":"極高","composer.mode.localRemoteWhereRun":"選擇任務執行位置","composer.mode.newTask.header":"繼續模式：","composer.mode.rateLimit.day":"{days} 日","composer.mode.rateLimit.heading":"剩餘的用量限額","composer.mode.rateLimit.hour":"{hours} 小時","composer.mode.rateLimit.minute":"{minutes} 分","composer.mode.rateLimit.modelSectionLabel":"{modelName} 限制：","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} 週限額}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} 週}}","composer.mode.remote.connectToCloud":"連接 Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"透過 Codex Web 設定環境，以容許將任務傳送至雲端","composer.mode.remote.selectEnvironment":"選取環境","composer.mode.remote.sendToCloud":"傳送至雲端","composer.mode.remote.setupViaWeb":"透過 Codex Web 設定環境","composer.mode.runInCloud":"雲端","composer.mode.runInCloudWithEnvironment":"雲端 · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"在雲端環境工作","composer.mode.segmentedToggle.local.tooltip":"在本機項目中工作","composer.mode.segmentedToggle.worktree.tooltip":"在平行工作樹工作","composer.mode.upgradeToPlus":"升級至 Plus","composer.mode.upgradeToPro":"升級至 Pro","composer.mode.workLocally":"本機項目","composer.mode.workLocally.currentBranchFallback":"你的分支","composer.mode.workLocally.tooltip":"在 {branchName} 工作","composer.mode.worktree":"新增工作樹","composer.mode.worktree.submoduleWarning":"此儲存庫設有子模組；工作樹建立流程或無法完成","composer.mode.worktree.tooltip":"建立本機項目副本以並行工作","composer.mode.worktreeSegment":"工作樹","composer.modelChangeDuringConversationWarning.toast":"在對話期間更換模型將導致效能表現下降。","composer.newChat.heading.browser":"接下來要寫什麼程式？","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex 會使用 config.toml 中所定義的權限。","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex 擁有你電腦的完整存取權（較高風險）","composer.permissionsDropdown.custom.label":"自訂 (config.toml)","composer.permissionsDropdown.custom.optionLabel":"自訂 (config.toml)","composer.permissionsDropdown.default.label":"預設權限","composer.permissionsDropdown.default.optionLabel":"預設權限","composer.permissionsDropdown.default.tooltip":"Codex 將在沙盒內自動執行指令","composer.permissionsDropdown.disabled.requirements":"權限由 requirements.toml 鎖定","composer.permissionsDropdown.fullAccess.disabled":"完整存取模式已由 requirements.toml 停用","composer.permissionsDropdown.fullAccess.label":"完整存取權","composer.permissionsDropdown.fullAccess.optionLabel":"完整存取權","composer.permissionsDropdown.trigger.tooltip":"更改權限","composer.personalitySlashCommand.description.friendly":"友善、善於協作、樂於助人","composer.personalitySlashCommand.description.pragmatic":"簡明扼要、任務為本、直截了當","composer.personalitySlashCommand.label.friendly":"友善","composer.personalitySlashCommand.label.pragmatic":"務實","composer.personalitySlashCommand.notApplicableSuffix":"（不會套用至當前模型）","composer.personalitySlashCommand.title":"個性","composer.placeholder.cloudFollowUp.directFollowUp":"跟進此雲端任務","composer.placeholder.cloudFollowUp.local":"建立參考此雲端任務的新本機任務","composer.placeholder.cloudFollowUp.workingTree":"建立包括目前的程式碼並參考此任務的新雲端任務","composer.placeholder.localFollowUp.cloud":"在新的雲端任務中跟進","composer.placeholder.localFollowUp.locally":"要求進行後續變更","composer.placeholder.newTask.cloud":"請 Codex 在雲端處理任何工作","composer.placeholder.newTask.doAnything":"請 Codex 處理任何工作","composer.placeholder.newTask.locally":"問 Codex 任何問題，輸入「@」即可添加檔案，輸入「/」則可執行指令","composer.planModeDropdown":"計劃模式","composer.planModeDropdown.ariaLabel":"計劃模式","composer.planModeIndicator":"計劃","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"使用 Codex 擬定計劃","composer.planModeIndicator.tooltipToggle":"以切換","composer.planSlashCommand.disableDescription":"停用計劃模式","composer.planSlashCommand.enableDescription":"啟用計劃模式","composer.planSlashCommand.title":"計劃模式","composer.priorContext.label":"上一個情境","composer.priorContext.removeAriaLabel":"移除上一個情境","composer.queuedMessage.delete":"刪除已加入佇列的訊息","composer.queuedMessage.edit":"編輯訊息","composer.queuedMessage.more":"已加入佇列訊息操作","composer.queuedMessage.sendNow":"引導","composer.queuedMessage.sendNowTooltip":"在不影響工作的情況下立即傳送","composer.queuedMessage.turnOff":"停用佇列","composer.reasoningEffort.local.reasoning.tooltip":"選擇推理力度","composer.remote.branchStartingPoint":"此任務應從哪個分支作為起點？","composer.remote.branchesSectionHeading":"分支","composer.remote.currentEditsSuffix.followUp":"建立參考此雲端任務的新任務。","composer.remote.currentEditsSuffix.useLocal":"包含本機程式碼變更","composer.remote.directFollowUp":"切勿使用本機變更","composer.remote.errorLoadingBranches":"載入分支時發生錯誤","composer.remote.fromBranch":"來自 {branch}","composer.remote.fromCurrentBranch":"來自分支 {branch}（目前使用中）","composer.remote.loadingMoreBranches":"正在載入…","composer.remote.localFileStateHeading":"本機檔案狀態","composer.remote.localWorkingTree":"使用本機變更","composer.remote.startingPoint":"此任務應從哪個程式碼作為起點？","composer.reviewMode.branches.error":"無法載入分支","composer.reviewMode.branches.retry":"重試","composer.reviewMode.gitRoot.error":"找不到 Git 根目錄","composer.reviewMode.option.baseBranch.simple":"根據基本分支進行審核","composer.reviewMode.option.unstaged.simple":"審核未提交的變更","composer.reviewMode.quickReviewError":"無法開始程式碼審核。","composer.reviewMode.title":"程式碼審核","composer.sandboxButton.unlock.disabled.tooltip":"完整存取模式已由 requirements.toml 停用","composer.sandboxButton.windowsSandboxDialog.content":"Codex 可在 Windows 上使用實驗版沙盒來限制檔案系統及網絡存取。{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"啟用 Windows 沙盒？","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"使用唯讀模式","composer.searchEnvironments":"搜尋環境","composer.skillMentionList.app":"應用程式","composer.skillMentionList.appLogoAlt":"{name} 標誌","composer.skillMentionList.loading":"正在載入技能…","composer.skillMentionList.noResults":"查無技能","composer.slashCommands.cloudEnvironment.title":"雲端環境","composer.slashCommands.dialogLabel":"斜線指令選單","composer.slashCommands.dialogTitle":"斜線指令","composer.slashCommands.disabledTooltip":"展開新對話以使用斜線指令","composer.slashCommands.inputPlaceholder":"搜尋","composer.slashCommands.noResults":"沒有相符指令","composer.slashCommands.skillsGroup":"技能","composer.slashCommands.tooltip":"瀏覽斜線指令","composer.status.close":"關閉","composer.statusPlain.alertLabel":"警報：","composer.statusPlain.alertValue":"{window}尚餘 {remaining}%","composer.statusPlain.contextLabel":"情境：","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"（已使用 {used} / {total}）","composer.statusPlain.contextValueRemaining":"剩餘 {remaining}%","composer.statusPlain.heading":"狀態","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} 限制：","composer.statusPlain.rateLimitDays":"{count} 日限額","composer.statusPlain.rateLimitFallbackLabel":"速率限額：","composer.statusPlain.rateLimitHours":"{count} 小時限額","composer.statusPlain.rateLimitLabelBase":"速率限額","composer.statusPlain.rateLimitMinutes":"{count} 分鐘限額","composer.statusPlain.rateLimitPercent":"剩餘 {remaining}%","composer.statusPlain.rateLimitReset":"將於 {time} 重設","composer.statusPlain.rateLimitResetMetadata":"（{phrase}）","composer.statusPlain.rateLimitResetUnknown":"重設時間不詳","composer.statusPlain.rateLimitUnavailable":"無法提供","composer.statusPlain.sessionCopiedAriaLabel":"已複製工作階段 ID","composer.statusPlain.sessionCopiedTooltip":"已複製 ID","composer.statusPlain.sessionCopyAriaLabel":"複製工作階段 ID","composer.statusPlain.sessionCopyTooltip":"複製 ID","composer.statusPlain.sessionLabel":"工作階段：","composer.statusSlashCommand.description":"顯示對話串 ID、情境用量和速率限額","composer.statusSlashCommand.title":"狀態","composer.submit.blockedDialogOk":"確認","composer.submit.blockedDialogTitle":"無法傳送訊息","composer.submit.emptyMessage":"輸入訊息以開始使用","composer.submit.imageInputsUnsupported":"移除圖像或切換模型以傳送此訊息。","composer.submit.loadingLocalConfig":"正在載入…","composer.submit.missingCloudConfig":"你必須選擇一個雲端環境","composer.submit.missingCloudTurn":"無法跟進此任務","composer.submit.noWorkspace":"新增項目以使用 Codex","composer.submit.waitForImageUploads":"圖像上傳中…","composer.submitButtonTooltip.send":"傳送","composer.submitButtonTooltip.stop":"停止","composer.worktreeEnvironment.create":"建立本機環境","composer.worktreeEnvironment.default":"預設環境","composer.worktreeEnvironment.error":"載入環境時發生錯誤","composer.worktreeEnvironment.loading":"正在載入環境…","composer.worktreeEnvironment.title":"本機環境","composer.worktreeEnvironment.tooltip":"選擇本機環境","composer.worktreeSetupFailed":"Worktree 設定未能完成，請於 .codex/environments 檢查設定指令碼。","compoundButton.secondaryAction":"次要行動","copyButton.copied":"已複製","copyButton.copiedAriaLabel":"已複製","copyButton.copy":"複製","copyButton.copyAriaLabel":"複製","copyButton.copyCode":"複製代碼","diff.actionButton.revertFile":"復原檔案","diff.actionButton.revertHunk":"恢復","diff.actionButton.revertSection":"復原全部","diff.actionButton.revertSectionLabel":"復原全部","diff.actionButton.stageFile":"暫存檔案","diff.actionButton.stageHunk":"暫存","diff.actionButton.stageSection":"暫存全部","diff.actionButton.stageSectionLabel":"暫存全部","diff.actionButton.unstageFile":"取消暫存檔案","diff.actionButton.unstageHunk":"未暫存","diff.actionButton.unstageSection":"取消暫存全部","diff.actionButton.unstageSectionLabel":"取消暫存全部","diff.fileHeader.toggle":"切換檔案差異","electron.onboarding.login.apikey.cancel":"取消","electron.onboarding.login.apikey.continue":"繼續","electron.onboarding.login.apikey.label":"OpenAI API 金鑰","electron.onboarding.login.apikey.open":"輸入 API 金鑰","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"取消登入","electron.onboarding.login.chatgpt.continue":"繼續使用 ChatGPT","electron.onboarding.login.devbox":"連線至遠端 SSH","electron.onboarding.login.error":"登入失敗：{rawMessage}","electron.onboarding.login.snake.start":"玩貪食蛇","electron.onboarding.login.sshConfig.cancel":"取消","electron.onboarding.login.sshConfig.continue":"繼續","electron.onboarding.login.sshConfig.hostnameLabel":"SSH 主機名稱","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"使用智能代理建構的最佳方式","electron.onboarding.login.title":"歡迎使用 Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"繼續","electron.onboarding.welcome.doubleLimits.description":"為慶祝 Codex 應用程式推出，由即日起至 4 月 2 日期間，我們將提供 2 倍速率限額。","electron.onboarding.welcome.freego.description":"由即日起至 3 月 2 日，你的計劃將免費包括 Codex，齊來攜手開始構建！","electron.onboarding.welcome.new.title.anon":"歡迎！","electron.onboarding.workspace.continue":"繼續","electron.onboarding.workspace.empty":"新增項目以繼續。","electron.onboarding.workspace.listLabel":"可用項目","electron.onboarding.workspace.loading":"正在載入項目…","electron.onboarding.workspace.openFolder":"新增項目","electron.onboarding.workspace.selectAll":"全選","electron.onboarding.workspace.skip":"略過","electron.onboarding.workspace.skip.error":"無法建立新項目：{message}","electron.onboarding.workspace.skip.error.unknown":"未知錯誤","electron.onboarding.workspace.skipping":"正在建立新項目…","electron.onboarding.workspace.subtitle":"Codex 將可在選定的資料夾中編輯檔案和執行指令。","electron.onboarding.workspace.title":"選取項目","errorPage.list.checkSettings":"嘗試更新你的 IDE 設定","errorPage.list.configToml":"檢查 config.toml 中的無效設定","errorPage.list.downloadExtension":"嘗試下載該擴充功能的其他版本","errorPage.list.runInWsl":"如發現兼容問題，請檢查設定以停用在 WSL 中執行的選項。","execApprovalRequest.menu.runAlways":"是，請勿在此工作階段再次詢問","execApprovalRequest.menu.runAlwaysWithAmendment":"是，請勿就以 {command} 開始的指令再次詢問","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"是，請勿就以 ","execApprovalRequest.menu.runOnce":"是","execApprovalRequest.prompt":"你是否希望執行此指令？","execApprovalRequest.reject":"否","execFooter.exitCode":"退出碼 {code}","execFooter.exitCode.unknown":"未知","execFooter.success":"成功","feedback.dialog.category.badResult":"欠佳結果","feedback.dialog.category.bug":"錯誤","feedback.dialog.category.goodResult":"優良結果","feedback.dialog.category.other":"其他","feedback.dialog.category.safetyCheck":"安全檢查","feedback.dialog.descriptionPlaceholder":"請在此處描述問題","feedback.dialog.dismiss":"略過","feedback.dialog.includeLogsLabel":"包括當前 Codex 工作階段的記錄","feedback.dialog.submit":"提交","feedback.dialog.submitError":"無法提交你的反饋，請稍後重試。","feedback.dialog.title":"反饋","feedback.dialog.uploadedMessage.existingIssue":"現有的未解決問題","feedback.dialog.uploadedMessage.openIssue":"在 GitHub 提交問題報告","feedback.dialog.uploadedMessage.withThread":"已上傳反饋。如果問題持續，請{openIssueLink}或在{existingIssueLink}中提及對話串 ID：","feedback.dialog.uploadedTitle":"已上載反饋","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"移除 {filename}","header.back":"返回","header.recentChats":"任務","header.recentTasks.seeAll":"查看全部 ({total} 項)","home.header.getPlus":"取得 Plus","home.hero.letsBuild":"來一起構建","homePage.mainContent":"主要內容","imageAttachment.defaultName":"圖像","imageAttachment.preview.close":"關閉圖像預覽","imageAttachment.removeAriaLabel":"移除 {filename}","implementPlanRequest.option.implement":"是，實行此計劃","implementPlanRequest.prompt":"實行此計劃？","inbox.archived.deleteError":"無法刪除已封存的執行程序","inbox.archived.deleteRun":"刪除已封存的執行程序","inbox.archived.deleteSuccess":"已刪除對話串存檔。請在<settingsLink>對話串封存</settingsLink>中查看。","inbox.archived.inlineLabel.auto":"此對話串將自動封存。<learnMoreLink>了解詳情</learnMoreLink>","inbox.archived.inlineLabel.manual":"此對話串已封存。","inbox.archived.noMessageFound":"查無訊息","inbox.automations.createError":"無法建立自動化任務","inbox.automations.deleteConfirm.cancel":"取消","inbox.automations.deleteConfirm.confirm":"刪除自動化程序","inbox.automations.deleteConfirm.description":"此操作將永久刪除這個自動化程序，並停止該程序在日後執行。","inbox.automations.deleteConfirm.title":"刪除 {name}？","inbox.automations.deleteError":"無法刪除自動化程序","inbox.automations.editTooltip":"編輯自動化程序","inbox.automations.inProgress":"處理中","inbox.automations.new":"新","inbox.automations.newToolbar":"新增自動化程序","inbox.automations.pauseTooltip":"暫停自動化程序","inbox.automations.resumeTooltip":"恢復自動化程序","inbox.automations.startingNow":"正在開始","inbox.automations.startsIn":"將於 {startTime}後開始","inbox.automations.status.active":"使用中","inbox.automations.status.paused":"已暫停","inbox.automations.status.runs":"已執行 {count} 次","inbox.automations.status.started":"開始時間：{date}","inbox.automations.updateError":"無法更新自動化程序","inbox.automations.workspaceFallback":"-","inbox.filter.all":"全部","inbox.filter.ariaLabel":"篩選收件箱項目","inbox.filter.unread":"未讀","inbox.list.archived":"已封存","inbox.list.inProgress":"處理中","inbox.list.recent":"已完成","inbox.list.upNext":"已排程","inbox.mode.automations":"自動化程序","inbox.mode.automations.beta":"測試版","inbox.noDescription":"沒有提供描述","inbox.openThread":"開啟對話串","inbox.rightPanel.emptySubtitle":"建立排定任務，將工作流程自動化","inbox.rightPanel.emptySubtitle.learnMore":"建立排定對話串，將工作流程自動化。<link>了解詳情</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# 個生效中的自動化程序}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"沒有未讀的自動化程序","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# 個未讀的自動化程序}}","inbox.rightPanel.emptyTitle":"未選取任何項目","inbox.rightPanel.noThread":"此項目無對話串","inbox.rightPanel.quickStart.header":"使用範本開始","inbox.untitled":"無標題收件箱項目","loadingPage.documentationLink":"說明文件","loadingPage.errorDescription":"Codex 發生故障，錯誤如下：","loadingPage.errorDescription.documentation":"按一下以重新啟動 Codex 擴充功能，或查閱我們的{documentationLink}以取得進一步協助。","loadingPage.errorSignal":"不妨試試：","loadingPage.errorTitle":"發生錯誤","loadingPage.openConfigToml":"開啟 Config.toml","loadingPage.reload":"重新載入","localConversation.contextCompacted":"已自動縮小情境","localConversation.contextCompacting":"自動縮小情境","localConversation.finalAssistantMessageDivider":"最終訊息","localConversation.forkedFromConversation":"分支複製自「{threadTitle}」","localConversation.merge.autoResolve.failed":"自動解決請求未能完成：{error}","localConversation.merge.autoResolve.sent":"已傳送自動解決請求","localConversation.merge.autoResolveMerge.missingConversation":"沒有進行中對話時無法自動解決衝突。","localConversation.merge.autoResolveMerge.request":"自動解決合併衝突","localConversation.modelChanged":"模型已從 {fromModel} 變為 {toModel}。","localConversation.modelChanged.warning.line1":"在對話期間更換模型將導致效能表現下降。","localConversation.modelChanged.warning.line2":"上下文或會自動縮小。","localConversation.modelRerouted":"請求已路由至 {toModel}。","localConversation.modelRerouted.warning.line1":"請注意，你的請求已重新路由以降低網絡濫用風險。","localConversation.modelRerouted.warning.line2":"認為此決定有誤？請於 <link>chatgpt.com/cyber 提交審核申請</link>或透過 /feedback 報告","localConversation.moveThread.createBranch.label":"建立分支","localConversation.moveToLocal.disabled.branchCheckedOut":"分支已在其他工作樹檢出","localConversation.moveToLocal.disabled.loading":"正在載入…","localConversation.moveToLocal.disabled.missingSourceHead":"無法解決工作樹 HEAD 提交問題","localConversation.moveToLocal.disabled.noWorkspace":"查無此工作樹的本機工作區","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"目前無法移動，請檢查本機工作樹狀態，然後重試。","localConversation.moveToLocal.error.rollbackIssues":"回捲問題： {issues}","localConversation.moveToLocal.label":"移至本機","localConversation.moveToLocal.loading.subtitle":"正在將工作樹變更移至本機…","localConversation.moveToLocal.loading.title":"正在移至本機","localConversation.moveToLocal.modal.continue":"繼續","localConversation.moveToLocal.modal.destinationLabel":"移至","localConversation.moveToLocal.modal.retry":"重試","localConversation.moveToLocal.modal.subtitle":"此工作樹分支與未提交的變更將移回本機的檢出內容。","localConversation.moveToLocal.modal.title":"移至本機","localConversation.moveToWorktree.error.branchRequired":"必須提供工作樹分支名稱","localConversation.moveToWorktree.error.createWorktree":"無法建立工作樹：{message}","localConversation.moveToWorktree.error.move":"無法移至工作樹：{message}","localConversation.moveToWorktree.error.prepareBranch":"無法準備工作樹分支「{branch}」：{message}","localConversation.moveToWorktree.error.rollbackIssues":"回捲問題： {issues}","localConversation.moveToWorktree.error.unknown":"無法移至工作樹，請重試。","localConversation.moveToWorktree.label":"移至工作樹","localConversation.moveToWorktree.loading.subtitle":"正在設定工作樹及移動本機變更…","localConversation.moveToWorktree.loading.title":"正在移至工作樹","localConversation.moveToWorktree.modal.back":"返回","localConversation.moveToWorktree.modal.branchAlreadyExists":"分支已存在","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"分支已存在。","localConversation.moveToWorktree.modal.branchesError":"無法載入分支","localConversation.moveToWorktree.modal.branchesLoading":"正在載入分支…","localConversation.moveToWorktree.modal.branchesRetry":"重試","localConversation.moveToWorktree.modal.continue":"繼續","localConversation.moveToWorktree.modal.defaultBranchError":"工作樹分支必須與預設分支不同。","localConversation.moveToWorktree.modal.localBranchLabel":"本機分支","localConversation.moveToWorktree.modal.localBranchPlaceholder":"選取本機檢出分支","localConversation.moveToWorktree.modal.noTargetBranch":"沒有其他本機分支可以使用","localConversation.moveToWorktree.modal.retry":"重試","localConversation.moveToWorktree.modal.subtitle":"此分支及所有未提交的變更將移至工作樹。你必須從本機的相應位置檢出其他分支。","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex 將為此對話串建立新工作樹。","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"選擇工作樹分支名稱。Codex 將使用該分支，而非預設分支。","localConversation.moveToWorktree.modal.subtitle.loading":"正在尋找現有的工作樹…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"此分支將移至工作樹。當前的本機分支將維持檢出狀態。","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex 將就此對話串重用現有的工作樹。","localConversation.moveToWorktree.modal.title":"移至工作樹","localConversation.moveToWorktree.modal.trailingSlashError":"分支名稱不能以「/」結尾。","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"工作樹分支名稱","localConversation.moveToWorktree.modal.worktreeBranchLabel":"工作樹分支","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"新分支","localConversation.personalityChanged":"切換至{personality}個性","localConversation.planSummary.collapse":"收起計劃摘要","localConversation.planSummary.collapseTooltip":"收起","localConversation.planSummary.download":"下載計劃","localConversation.planSummary.expand":"展開計劃摘要","localConversation.planSummary.expandTooltip":"展開","localConversation.planSummary.openInNewWindow":"開啟","localConversation.planSummary.openInNewWindow.tooltip":"在新視窗開啟","localConversation.planSummary.title":"計劃","localConversation.planSummary.titleWriting":"撰寫計劃","localConversation.planSummary.viewPlan":"展開計劃","localConversation.previousMessagesSummary":"{count, plural, other {先前的 # 則訊息}}","localConversation.remoteTaskCreated":"已在 Codex Cloud 中建立{taskLink}","localConversation.remoteTaskCreated.task":"任務","localConversation.scrollToBottomButton":"捲動到底部","localConversation.sync.buttonLabel":"交由本機接手","localConversation.sync.buttonLabel.tooltip":"交接此工作區與本機檢出內容之間的變更。","localConversation.sync.modal.loading.title":"正在交接變更…","localConversation.sync.modal.noChanges":"沒有變更","localConversation.syncSetup.branchAriaLabel":"分支名稱","localConversation.syncSetup.branchName":"分支名稱","localConversation.syncSetup.branchPlaceholder.existing":"選取現有分支","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"正在載入分支…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"已檢出","localConversation.syncSetup.checkoutClean":"目前位置：{branchName}","localConversation.syncSetup.checkoutDirty":"{branchName} 上目前有未提交的變更","localConversation.syncSetup.checkoutError":"無法檢出分支：{message}","localConversation.syncSetup.checkoutLabel":"立即在本機檢出","localConversation.syncSetup.checkoutOnLocal":"交由本機接手","localConversation.syncSetup.checkoutPending":"正在檢查本機狀態…","localConversation.syncSetup.checkoutUnavailable":"本機工作區無法使用","localConversation.syncSetup.checkoutUnknown":"本機分支無法使用","localConversation.syncSetup.continue":"繼續","localConversation.syncSetup.createBranchError":"無法設定接手分支：{message}","localConversation.syncSetup.error":"發生問題：{message}","localConversation.syncSetup.error.workingTreeMissing":"無法為工作樹拍攝快照，請重新嘗試交接。","localConversation.syncSetup.mode.ariaLabel":"選取分支模式","localConversation.syncSetup.mode.existing":"現有分支","localConversation.syncSetup.mode.new":"新分支","localConversation.syncSetup.noBranches":"找不到任何分支","localConversation.syncSetup.overwriteError":"分支已建立但尚未完全完成交接。請在本機檢出前手動交接。","localConversation.syncSetup.setPrefix":"設定前綴","localConversation.syncSetup.subtitle":"在本機測試和編輯工作樹變更。<a>了解詳情</a>","localConversation.syncSetup.success.checkedOut":"已在本機建立並檢出分支","localConversation.syncSetup.success.notCheckedOut":"已建立分支","localConversation.syncSetup.title":"交由本機分支接手","localConversation.syncWorktreeError.branchAriaLabel":"分支名稱","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"選擇分支以進行交接，然後重新嘗試載入變更。","localConversation.syncWorktreeError.branchSetup.title":"更新分支","localConversation.syncWorktreeError.branchUpdate.cta":"更新並重試","localConversation.syncWorktreeError.branchUpdate.error":"無法更新分支：{message}","localConversation.syncWorktreeError.branchUpdate.unknown":"發生問題：{message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"分支尚未從任何工作樹檢出。","localConversation.syncWorktreeV2.applyUncommitted":"套用","localConversation.syncWorktreeV2.applyUncommitted.disabled":"必須在本機檢出分支，方能套用未提交的變更","localConversation.syncWorktreeV2.branches.empty":"找不到任何分支","localConversation.syncWorktreeV2.branches.loading":"正在載入分支…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"更改接手分支","localConversation.syncWorktreeV2.changeBranch.error":"無法設定接手分支：{message}","localConversation.syncWorktreeV2.commandError.action.apply":"無法套用","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"無法覆蓋工作樹","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"無法覆蓋本機","localConversation.syncWorktreeV2.commandError.back":"返回","localConversation.syncWorktreeV2.commandError.body":"交接期間，特定 Git 指令未能完成。請查看輸出內容，然後重試。","localConversation.syncWorktreeV2.commandError.retry":"重試","localConversation.syncWorktreeV2.description":"在本機與此工作樹之間交接變更<a>了解詳情</a>。","localConversation.syncWorktreeV2.direction.ariaLabel":"選取交接方向","localConversation.syncWorktreeV2.error.generic":"交接時出錯，請重試。","localConversation.syncWorktreeV2.localBranchLabel":"本機","localConversation.syncWorktreeV2.noChanges":"正在計算變更","localConversation.syncWorktreeV2.noChanges.summary":"沒有變更","localConversation.syncWorktreeV2.overwrite.local":"覆蓋本機","localConversation.syncWorktreeV2.overwrite.worktree":"覆蓋工作樹","localConversation.syncWorktreeV2.partial.action.applyFailed":"無法套用變更","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"無法覆蓋本機變更","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"無法覆蓋工作樹變更","localConversation.syncWorktreeV2.partial.appliedLabel":"已套用","localConversation.syncWorktreeV2.partial.back":"返回","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"解決衝突並重試。","localConversation.syncWorktreeV2.partial.conflictsLabel":"衝突","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# 個檔案}}","localConversation.syncWorktreeV2.partial.retry":"重試","localConversation.syncWorktreeV2.partial.skippedLabel":"已略過","localConversation.syncWorktreeV2.stateFailed.generic":"擷取工作樹變更以進行交接時出錯，請重試。","localConversation.syncWorktreeV2.stateFailed.title":"無法載入工作樹變更","localConversation.syncWorktreeV2.statusError.diffUnknown":"無法載入工作樹變更。","localConversation.syncWorktreeV2.statusError.retry":"重試","localConversation.syncWorktreeV2.statusError.title":"無法載入本機分支變更","localConversation.syncWorktreeV2.statusError.unknown":"目前無法提供分支狀態，請重試。","localConversation.syncWorktreeV2.success.apply":"成功套用變更","localConversation.syncWorktreeV2.success.overwrite":"交接成功","localConversation.syncWorktreeV2.title":"交接變更","localConversation.syncWorktreeV2.worktreeLabel":"工作樹","localConversation.userInputRequest.inProgress":"正在等待{count, plural, other {個問題}}輸入","localConversation.userInputRequest.noAnswer":"尚未提供答案","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"已詢問","localConversation.userInputRequest.summary.count":"{count, plural, other {# 個問題}}","localConversation.workedFor":"已工作 {time}","localConversation.worktreeBranchSetup.action.create":"建立","localConversation.worktreeBranchSetup.branchAriaLabel":"分支名稱","localConversation.worktreeBranchSetup.branchPlaceholder.new":"建立新分支","localConversation.worktreeBranchSetup.checkoutDisabled":"此分支已在 {location} 檢出","localConversation.worktreeBranchSetup.checkoutError":"無法檢出分支：{message}","localConversation.worktreeBranchSetup.createBranchError":"無法設定分支：{message}","localConversation.worktreeBranchSetup.error":"發生問題：{message}","localConversation.worktreeBranchSetup.subtitle":"建立分支以從此工作樹提交變更、推送和建立 PR。<a>了解詳情</a>","localConversation.worktreeBranchSetup.title":"在此處工作","localConversationPage.addWorktreeToSidebar.tooltip":"另存為項目，以便從此工作樹開始新對話串","localConversationPage.addWorktreeToSidebarError":"無法新增項目","localConversationPage.commitAndCreatePrModal.errorTitle":"無法提交和建立 PR","localConversationPage.commitAndCreatePrModal.successTitle":"已提交並建立 PR","localConversationPage.commitAndPushModal.errorTitle":"無法提交和推送","localConversationPage.commitAndPushModal.successTitle":"已提交並推送變更","localConversationPage.commitCreatePr.open":"開啟拉取請求","localConversationPage.commitCreatePr.successTitle":"已使用最新的變更建立 PR","localConversationPage.createBranchButtonLabel":"在此分支","localConversationPage.createPrModal.baseBranch":"基底","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"建立 PR","localConversationPage.createPrModal.createDescription":"為你的最新變更開啟拉取請求。","localConversationPage.createPrModal.errorTitle":"拉取請求未能完成","localConversationPage.createPrModal.headBranch":"標頭","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"開啟 PR","localConversationPage.createPrModal.successTitle":"已建立拉取請求","localConversationPage.createPrModal.title":"建立拉取請求","localConversationPage.createPrModal.viewDescription":"此分支已有特定拉取請求。","localConversationPage.createPrModal.viewTitle":"拉取請求準備就緒","localConversationPage.createPullRequestAuthGh":"驗證 GitHub CLI：執行「gh auth login」","localConversationPage.createPullRequestBranchMissing":"分支資訊無法查看","localConversationPage.createPullRequestButtonLabel":"建立 PR","localConversationPage.createPullRequestButtonLabel.loading":"正在建立 PR…","localConversationPage.createPullRequestDefaultBranchMissing":"預設分支資訊無法查看","localConversationPage.createPullRequestError":"無法建立拉取請求","localConversationPage.createPullRequestExistingPullRequest":"此分支已有特定拉取請求","localConversationPage.createPullRequestGhStatusMissing":"正在載入 GitHub CLI 狀態…","localConversationPage.createPullRequestInstallGh":"安裝 GitHub CLI (gh) 以建立 PR","localConversationPage.createPullRequestNoRepo":"找不到 git 儲存庫","localConversationPage.createPullRequestPushStatusMissing":"正在載入推送狀態…","localConversationPage.createPullRequestSetUpstream":"建立 PR 前推送此分支","localConversationPage.createPullRequestSuccessToast":"已建立拉取請求","localConversationPage.createPullRequestSwitchBranch":"建立 PR 前需切換到功能分支","localConversationPage.error.render":"渲染本機對話時發生錯誤","localConversationPage.error.toast":"找不到對話","localConversationPage.forcePushError":"無法強行推送","localConversationPage.generatePullRequestMessageError":"無法生成拉取請求標題及內文。","localConversationPage.generatePullRequestMessageFailed":"無法生成拉取請求標題及內文。","localConversationPage.gitActionResult.branch":"分支","localConversationPage.gitActionResult.cancel":"取消","localConversationPage.gitActionResult.close":"關閉","localConversationPage.gitActionResult.tryAgain":"重試","localConversationPage.gitActions":"Git 行動","localConversationPage.newChat":"新對話","localConversationPage.openInTarget":"開啟途徑：","localConversationPage.openPrimaryTarget":"開啟","localConversationPage.planItemsCompleted":"共 {totalItems, plural, other {# 項任務}}，已完成 {completedItems} 項","localConversationPage.pushAuthError":"推送失敗：需要驗證","localConversationPage.pushBranchMissing":"分支資訊無法查看","localConversationPage.pushButtonLabel":"推送","localConversationPage.pushButtonLabel.loading":"正在推送…","localConversationPage.pushError":"無法推送變更","localConversationPage.pushModal.branchLabel":"分支","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"取消","localConversationPage.pushModal.confirm":"推送","localConversationPage.pushModal.description":"將最新的提交內容推送至遠端儲存庫。","localConversationPage.pushModal.errorTitle":"無法推送","localConversationPage.pushModal.forcePush":"強行推送","localConversationPage.pushModal.successTitle":"推送完成","localConversationPage.pushModal.title":"推送變更","localConversationPage.pushModal.tryAgain":"重試","localConversationPage.pushNoUpstream":"推送此分支前設立上游分支","localConversationPage.pushNoUpstreamError":"推送失敗：未設定上游分支","localConversationPage.pushNothingToPush":"沒有新的提交需要推送","localConversationPage.pushRemoteChangedError":"推送失敗：遠端有新提交","localConversationPage.pushRemoteRejectedError":"遠端已拒絕推送","localConversationPage.pushStatusMissing":"正在載入推送狀態…","localConversationPage.pushSuccessToast":"已推送變更","localConversationPage.viewPullRequestButtonLabel":"查看 PR","localConversationPage.viewPullRequestButtonLabel.loading":"正在載入拉取請求…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# 個檔案}} </countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# 個清單}} </countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# 個搜尋}} </countText>","localConversationTurn.exploration.accordion.count.separator":"，","localConversationTurn.exploration.accordion.header.active":"正在探索","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"已探索","localConversationTurn.exploration.accordion.header.complete.withCounts":"已探索 {counts}","localConversationTurnStory.showContent":"顯示內容","localConversationTurnStory.streamContent":"串流內容","localConversationTurnStory.toggleReasoning":"顯示推理","localTaskRow.archiveError":"無法將對話存檔","localTaskRow.resumeError":"無法恢復任務","mermaidDiagram.ariaLabel":"Mermaid 圖表","mermaidDiagram.copySource":"複製 mermaid","mermaidDiagram.originalCode":"Mermaid 原始碼","notifications.permissions.description":"需要通知權限時顯示提醒","notifications.permissions.label":"啟用權限通知","notifications.turnMode.always":"一律啟用","notifications.turnMode.description":"設定在 Codex 完成後通知你","notifications.turnMode.label":"啟用完成通知","notifications.turnMode.off":"永不","notifications.turnMode.unfocused":"僅在非處於前台狀態","patchApprovalRequest.approve":"核准","patchApprovalRequest.menu.allowAlways":"是，請勿在此工作階段再次詢問","patchApprovalRequest.menu.allowForSession":"是，在此工作階段期間不要再問","patchApprovalRequest.menu.allowOnce":"是","patchApprovalRequest.prompt":"你是否希望作出這些變更？","patchApprovalRequest.reject":"否","patchApprovalRequest.waitingForApproval":"等待核准編輯檔案","pendingRequest.approvalExec.collapse":"收起","pendingRequest.approvalExec.expand":"展開","pendingRequestStory.toastAnswer":"答案：{answer}","pendingRequestStory.toastApprovalTitle":"同意回覆","pendingRequestStory.toastFollowupPrompt":"提示詞：{prompt}","pendingRequestStory.toastFollowupTitle":"已傳送跟進內容","pendingRequestStory.toastNoAnswers":"尚未提供答案","pendingRequestStory.toastQuestion":"問題：{question}","pendingRequestStory.toastUnknownDecision":"未知","pendingRequestStory.toastUserInputTitle":"已提交答案","quickAction.request.codeReview.branches.new":"請與 {to} 比對 {from} 的變更","quickAction.request.codeReview.uncommitted.new":"請檢查我未提交的變更","reasoningItem.thinking":"正在思考","reasoningItem.thought":"完成思考","reasoningItem.thoughtWithElapsed":"思考了 {elapsed}","recentConversations.title":"最近對話","recentTasks.worktreeInitFailedTitle":"工作樹未能啟動","recentTasks.worktreeSettingUpTitle":"正在設定工作樹","requestInputPanel.continue":"繼續","requestInputPanel.dismiss":"略過","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"在此處輸入","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"否，向 Codex 說明應採取什麼其他行動","requestInputPanel.selectedBadge":"已選取","requestInputPanel.skip":"略過","requestInputPanel.submit":"提交","review.commit.ariaLabel.includeUnstaged":"包括未暫存","review.commit.buttonLabel":"提交","review.commit.disabled.committing":"正在提交…","review.commit.disabled.loadingDiff":"正在載入差異…","review.commit.disabled.missingContext":"新增特定情境以生成提交訊息","review.commit.disabled.noChanges":"沒有變更可供提交","review.commit.disabled.noSelection":"選取需要提交的變更","review.commit.disabled.unavailable":"提交功能目前無法使用","review.commit.error":"無法提交變更","review.commit.form.changesToBeCommitted":"變更 ","review.commit.form.commitTo":"分支","review.commit.form.commitTo.none":"-","review.commit.form.continue":"繼續","review.commit.form.title":"提交變更","review.commit.generate.emptyResponse":"無法生成提交訊息。","review.commit.generate.failed":"無法生成提交訊息：{error}","review.commit.generate.missingPrompt":"新增特定情境以生成提交訊息。","review.commit.includeUnstaged":"包括未暫存","review.commit.loading.description":"此程序可能需時片刻，請稍候…","review.commit.loading.step.commit.done":"已提交的變更","review.commit.loading.step.commit.pending":"正在提交變更","review.commit.loading.step.createPr.done":"已建立拉取請求","review.commit.loading.step.createPr.pending":"正在建立拉取請求","review.commit.loading.step.push.done":"已推送至分支 {branch}","review.commit.loading.step.push.pending":"正在推送至分支 {branch}","review.commit.loading.title.commit":"正在提交變更","review.commit.loading.title.createPr":"正在建立 PR","review.commit.loading.title.push":"正在推送更改","review.commit.messageLabel":"提交訊息","review.commit.messagePlaceholder":"留空以自動生成提交訊息","review.commit.nextSteps":"下一步","review.commit.nextSteps.commit":"提交","review.commit.nextSteps.commitAndCreate":"提交並建立 PR","review.commit.nextSteps.commitAndPush":"提交並推送","review.commit.nextSteps.prRequiresGh":"需要 GitHub CLI：{command}","review.commit.rows.changes":"變更 ","review.commit.rows.commitCount":"{count, plural, other {# 個提交項目}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# 個提交項目}}與{stats}","review.commit.rows.fileCount":"{count, plural, other {# 個檔案}}","review.commit.state.error.body":"提交時發生問題。請檢查 git 狀態並再試一次。","review.commit.state.error.title":"無法提交","review.commit.state.success.title":"已提交變更","review.commit.untracked.loadingStats":"正在載入未追蹤的差異統計資料…","reviewFindingAttachments.count":"{count, plural, other {# 個調查結果}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"編輯設定以自訂智能代理的行為","settings.agent.configuration.configToml.docs":"文件","settings.agent.configuration.configToml.restartNote":"完成編輯後，請重新啟動 Codex 以套用變更","settings.agent.configuration.subtitle":"這些設定將套用至所有使用 Codex 的地方","settings.automations.banner.danger":"自動化程序將以預設沙盒設定執行，目前設定為「完整存取權」。在背景執行具有完整存取權的自動化程序風險較高，Codex 可能會在未經許可的情況下修改檔案、執行指令及存取網絡。建議將沙盒設定更新為「工作區寫入」，並使用<rulesDocsLink>規則</rulesDocsLink>定義個別智能代理可透過完整存取權執行的指令。","settings.automations.banner.defaultHowTo.default":"自動化程序將以預設沙盒設定執行。如需修改工作區外的檔案、存取網絡或處理電腦上的應用程式，將無法完成工具調用。你可透過<rulesDocsLink>規則</rulesDocsLink>選擇將個別指令加入允許清單以在沙盒外執行。","settings.automations.banner.defaultHowTo.readOnly":"自動化程序將以預設沙盒設定執行，目前設定為「僅限讀取」。如需修改工作區外的檔案、存取網絡或處理電腦上的應用程式，將無法完成工具調用。建議將沙盒設定更新為「工作區寫入」。","settings.automations.cancel":"取消","settings.automations.create":"建立","settings.automations.cwdEmpty":"沒有可用的項目資料夾","settings.automations.cwdLabel":"項目","settings.automations.cwdPlaceholder":"選擇資料夾","settings.automations.cwdSubtitle":"如果你希望在特定分支上執行自動化程序，請於提示詞中註明。","settings.automations.delete":"刪除","settings.automations.dialog.editTitle":"編輯自動化任務","settings.automations.dialog.newTitle":"新增自動化程序","settings.automations.dialog.subtitle":"在背景中自動執行定期任務。Codex 會將調查結果加入收件箱，或在無需報告的情況將任務封存。<learnMoreLink>了解詳情</learnMoreLink>","settings.automations.dialog.title":"建立自動化任務","settings.automations.executionCopy.git":"Git 項目會在專屬工作樹的背景中執行。","settings.automations.executionCopy.local":"自動化程序將在所選項目的目錄中直接執行。","settings.automations.executionCopy.nonGit":"由於工作樹需要 Git，非版本控制項目將在本機執行。","settings.automations.executionEnvironment.ariaLabel":"執行環境","settings.automations.executionEnvironment.label":"執行環境","settings.automations.executionEnvironment.local":"本機","settings.automations.executionEnvironment.local.help":"在不建立工作樹的情況下，在所選項目的目錄中直接執行。","settings.automations.executionEnvironment.worktree":"工作樹","settings.automations.executionEnvironment.worktree.help":"從所選項目建立的專用 Git 工作樹中執行，保持當前的檢出內容不變。","settings.automations.loading":"正在載入…","settings.automations.nameLabel":"名稱","settings.automations.namePlaceholder":"檢查 Sentry 問題","settings.automations.pause":"暫停","settings.automations.promptLabel":"提示詞","settings.automations.promptPlaceholder":"在 $Sentry 中查看當機問題","settings.automations.resume":"恢復","settings.automations.rruleSummaryFallback":"自訂排程","settings.automations.runNow":"測試","settings.automations.save":"儲存","settings.automations.scheduleBadge.dayCount":"{count} 日","settings.automations.scheduleBadge.interval":"{count} 小時","settings.automations.scheduleBadge.weekdays":"平日","settings.automations.scheduleBadge.weekends":"週末","settings.automations.scheduleHeader":"排程","settings.automations.scheduleHours":"小時","settings.automations.scheduleLabel":"執行間距：","settings.automations.scheduleMode.daily":"每天","settings.automations.scheduleMode.interval":"間距","settings.automations.scheduleModeLabel":"排程類型","settings.automations.scheduleSummary.daily":"每天 {time}","settings.automations.scheduleSummary.interval":"每 {count} 小時","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# 天}}","settings.automations.scheduleSummary.intervalDays":"{days}每 {interval}","settings.automations.scheduleSummary.intervalHourly":"每小時","settings.automations.scheduleSummary.singleDay":"於{day} {time}","settings.automations.scheduleSummary.weekdays":"平日 {time}","settings.automations.scheduleSummary.weekdaysLabel":"平日","settings.automations.scheduleSummary.weekends":"週末 {time}","settings.automations.scheduleSummary.weekendsLabel":"週末","settings.automations.scheduleSummary.weekly":"於{days} {time}","settings.automations.scheduleWeekdays":"開啟","settings.automations.weekdayState.excluded":"不包括","settings.automations.weekdayState.included":"包括","settings.conversationDetail.steps":"步驟","settings.conversationDetail.steps.description":"隱藏指令及輸出內容","settings.conversationDetail.stepsWithCommands":"帶有程式碼指令的步驟","settings.conversationDetail.stepsWithCommands.description":"顯示指令，收起輸出內容","settings.conversationDetail.stepsWithOutput":"帶有程式碼輸出的步驟","settings.conversationDetail.stepsWithOutput.description":"顯示指令並展開輸出內容","settings.dataControls.archivedChats.dateTime":"{date} {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date} {time} • {repo}","settings.dataControls.archivedChats.empty":"沒有已存檔的聊天記錄。","settings.dataControls.archivedChats.error":"無法載入已存檔的聊天記錄。","settings.dataControls.archivedChats.loading":"正在載入已存檔的聊天記錄…","settings.dataControls.archivedChats.unarchive":"取消封存","settings.dataControls.archivedChats.unarchiveError":"無法將聊天存檔","settings.dataControls.archivedChats.unarchiveSuccess":"已取消封存對話串。<viewNowLink>立即查看</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"已取消封存對話串。","settings.dataControls.archivedChats.untitled":"未命名聊天","settings.dataControls.archivedChats.viewNow":"立即查看","settings.editRow.headerPlaceholder":"金鑰","settings.editRow.removeEntry":"移除項目","settings.editRow.valuePlaceholder":"值","settings.general.appearance":"外觀","settings.general.appearance.codeFont":"程式碼字型","settings.general.appearance.codeFont.description":"調整在對話與差異中使用的字型及大小","settings.general.appearance.codeFontFamily":"代碼字型系列","settings.general.appearance.codeFontSize":"程式碼字型大小","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"使用淨色作為視窗背景，而非系統半透明效果","settings.general.appearance.opaqueWindows.label":"使用不透明視窗背景","settings.general.appearance.sansFontFamily":"Sans 字型系列","settings.general.appearance.sansFontFamily.description":"調整用於 Codex UI 的字型","settings.general.appearance.sansFontSize":"無襯線字型大小","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"在 GPT-5.3-Codex-Spark 首輪執行時，顯示全螢幕慶祝特效","settings.general.appearance.sparkCelebrationEffects.label":"火花慶祝特效","settings.general.appearance.theme":"主題","settings.general.appearance.theme.dark":"暗色介面","settings.general.appearance.theme.description":"使用淺色模式、深色模式，或視乎系統設定而定","settings.general.appearance.theme.light":"明亮介面","settings.general.appearance.theme.system":"系統","settings.general.appearance.usePointerCursors.description":"懸停在互動元素上時將游標變為指標圖示","settings.general.appearance.usePointerCursors.label":"使用指標式游標","settings.general.enterBehavior.description":"啟用後，必須按下 {modifierSymbol} + Enter 鍵方可傳送多行的提示詞。","settings.general.enterBehavior.label":"傳送長提示詞需按下 {modifierSymbol} + Enter 鍵","settings.general.experimentalFeatures":"實驗版功能（測試版）","settings.general.experimentalFeatures.empty":"沒有實驗版功能可供使用。","settings.general.experimentalFeatures.loading":"正在載入實驗版功能…","settings.general.experimentalFeatures.restartNote":"請重新啟動 Codex 以套用實驗版功能變更","settings.general.experimentalFeatures.toggle":"切換 {featureName}","settings.general.followUpQueueMode.description":"在 Codex 執行或引導當前的執行工作期間，將跟進內容加入佇列。按下 {invertFollowUpShortcutLabel}可對單則訊息執行相反操作。","settings.general.followUpQueueMode.interrupt":"引導","settings.general.followUpQueueMode.label":"跟進行為","settings.general.followUpQueueMode.queue":"加入佇列","settings.general.notifications":"通知","settings.general.power.preventSleepWhileRunning.description":"在 Codex 執行對話串期間避免電腦休眠。","settings.general.power.preventSleepWhileRunning.label":"在執行期間避免休眠","settings.git.branchPrefix.ariaLabel":"分支前綴","settings.git.branchPrefix.description":"使用 Codex 建立新分支時所用的前綴","settings.git.branchPrefix.label":"分支前綴","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"無法儲存分支前綴","settings.git.branchPrefix.save.success":"已儲存分支前綴","settings.git.commitInstructions.ariaLabel":"提交指示","settings.git.commitInstructions.description":"已新增提交訊息生成提示詞","settings.git.commitInstructions.label":"提交指示","settings.git.commitInstructions.placeholder":"新增提交訊息指南…","settings.git.commitInstructions.save":"儲存","settings.git.commitInstructions.save.error":"無法儲存提交指示","settings.git.commitInstructions.save.success":"已儲存提交指示","settings.git.forcePush.ariaLabel":"一律強行推送","settings.git.forcePush.description":"從 Codex 推送時使用「--force-with-lease」","settings.git.forcePush.label":"一律強行推送","settings.git.forcePush.save.disabled":"已停用「一律強行推送」","settings.git.forcePush.save.enabled":"已啟用「一律強行推送」","settings.git.forcePush.save.error":"無法儲存強行推送設定","settings.git.prInstructions.ariaLabel":"拉取請求指示","settings.git.prInstructions.description":"已附加到由 Codex 撰寫的拉取請求內文。","settings.git.prInstructions.label":"拉取請求指示","settings.git.prInstructions.placeholder":"新增拉取請求指南…","settings.git.prInstructions.save":"儲存","settings.git.prInstructions.save.error":"無法儲存拉取請求指示","settings.git.prInstructions.save.success":"已儲存拉取請求指示","settings.ide.defaultOpenTarget.description":"預設開啟檔案和資料夾的位置","settings.ide.defaultOpenTarget.label":"預設開啟目的地","settings.ide.defaultOpenTarget.placeholder":"查無目標","settings.ide.language.auto":"自動偵測","settings.ide.language.autoOption":"自動偵測","settings.ide.language.description":"應用程式界面語言","settings.ide.language.label":"語言","settings.ide.language.search":"搜尋語言","settings.layout.actionButton":"重新啟動擴充功能","settings.layout.actionTitle":"行動設定","settings.layout.fullWidthTitle":"設定（全寬）","settings.layout.title":"設定","settings.localEnvironments.actions.add":"新增操作","settings.localEnvironments.actions.add.description":"建立新指示以在工具列中執行","settings.localEnvironments.actions.add.save":"儲存","settings.localEnvironments.actions.empty":"新增操作以執行本機工具列的指令。","settings.localEnvironments.actions.icon.debug":"偵錯","settings.localEnvironments.actions.icon.run":"執行","settings.localEnvironments.actions.icon.test":"測試","settings.localEnvironments.actions.icon.tool":"工具","settings.localEnvironments.actions.item.button.delete":"刪除","settings.localEnvironments.actions.item.command":"操作腳本","settings.localEnvironments.actions.item.name":"名稱","settings.localEnvironments.actions.item.platforms":"平台","settings.localEnvironments.actions.item.platforms.help":"只能在特定 OS 上執行。","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"平台選擇","settings.localEnvironments.actions.item.platforms.specific":"平台特定","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"刪除","settings.localEnvironments.actions.title":"操作","settings.localEnvironments.breadcrumb.back":"返回","settings.localEnvironments.breadcrumb.edit":"編輯","settings.localEnvironments.breadcrumb.root":"環境","settings.localEnvironments.environment.actions.description":"這些操作可執行任何指令，並會在標題列顯示。","settings.localEnvironments.environment.actionsLabel":"操作","settings.localEnvironments.environment.create":"建立本機環境","settings.localEnvironments.environment.defaultName":"本機","settings.localEnvironments.environment.edit":"編輯本機環境","settings.localEnvironments.environment.empty":"此項目尚未配置任何本機環境。","settings.localEnvironments.environment.name":"名稱","settings.localEnvironments.environment.setup":"設定腳本","settings.localEnvironments.environment.setup.description":"此腳本將在建立工作樹時執行。","settings.localEnvironments.environment.setup.hint":"項目根目錄中的執行程序。","settings.localEnvironments.environment.setup.platformOverrides":"平台覆寫","settings.localEnvironments.environment.setup.platformOverrides.add":"新增 {platform} 設定腳本","settings.localEnvironments.environment.setup.platformOverrides.description":"為指定 OS 覆寫預設腳本。","settings.localEnvironments.environment.setup.platformOverrides.remove":"移除","settings.localEnvironments.environment.setup.script":"腳本","settings.localEnvironments.environment.title":"環境詳細資料","settings.localEnvironments.file.missing":"儲存以首次建立此檔案。","settings.localEnvironments.file.parseError":"無法剖析現有檔案。儲存將覆寫內容。（{error}）","settings.localEnvironments.file.path":"檔案：{path}","settings.localEnvironments.file.readError":"無法載入本機環境資料。（{error}）","settings.localEnvironments.file.title":"本機環境檔案","settings.localEnvironments.loading.body":"正在擷取項目配置。","settings.localEnvironments.loading.title":"正在載入本機環境","settings.localEnvironments.preview.devOnly":"（僅供開發用途）","settings.localEnvironments.preview.save":"儲存","settings.localEnvironments.preview.saveError":"無法儲存檔案。（{error}）","settings.localEnvironments.preview.title":"預覽","settings.localEnvironments.save.disabled.name":"新增以儲存環境名稱。","settings.localEnvironments.save.disabled.noChanges":"沒有變更可儲存。","settings.localEnvironments.save.disabled.saving":"儲存中…","settings.localEnvironments.save.success":"已儲存本機環境","settings.localEnvironments.unavailable.body":"無法為此項目載入本機環境設定。","settings.localEnvironments.unavailable.title":"本機環境不可用","settings.localEnvironments.workspace.add":"新增項目","settings.localEnvironments.workspace.title":"項目","settings.localEnvironments.workspaceSelect.addLabel":"新增環境","settings.localEnvironments.workspaceSelect.description":"本機環境將向 Codex 說明如何為項目設定工作樹。{learnMore}","settings.localEnvironments.workspaceSelect.empty":"尚無項目；請新增項目以配置本機環境。","settings.localEnvironments.workspaceSelect.errorLabel":"環境有待處理","settings.localEnvironments.workspaceSelect.learnMore":"了解詳情","settings.localEnvironments.workspaceSelect.listLabel":"可用項目","settings.localEnvironments.workspaceSelect.loading":"正在載入項目。","settings.localEnvironments.workspaceSelect.loadingLabel":"正在載入環境","settings.localEnvironments.workspaceSelect.title":"選取項目","settings.localEnvironments.workspaceSelect.viewAction":"查看","settings.mcp.addServer":"新增伺服器","settings.mcp.app.configure":"配置","settings.mcp.app.connect":"連結","settings.mcp.apps.refresh":"重新整理","settings.mcp.detail.addArgument":"新增參數","settings.mcp.detail.addEnvVar":"新增環境變數","settings.mcp.detail.addEnvVarPassthrough":"新增變數","settings.mcp.detail.args":"參數","settings.mcp.detail.back":"返回","settings.mcp.detail.command":"啟動指令","settings.mcp.detail.cwd":"工作目錄","settings.mcp.detail.docs":"開啟 MCP 說明文件","settings.mcp.detail.docs.link":"文件","settings.mcp.detail.envVarPassthrough":"環境變數透視","settings.mcp.detail.envVars":"環境變數","settings.mcp.detail.http.addEnvHeader":"新增變數","settings.mcp.detail.http.addHeader":"新增標頭","settings.mcp.detail.http.bearerToken":"承載 token env var","settings.mcp.detail.http.envHeaders":"來自環境變數的標頭","settings.mcp.detail.http.headers":"標頭","settings.mcp.detail.http.url":"網址","settings.mcp.detail.name":"名稱","settings.mcp.detail.save":"儲存","settings.mcp.detail.switchTransportNotice":"如想切換 MCP 伺服器類型，請先解除安裝。","settings.mcp.detail.titleExisting":"更新 {name} MCP","settings.mcp.detail.titleNew":"連接自訂 MCP","settings.mcp.detail.transport.http":"可串流 HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"解除安裝","settings.mcp.empty":"未連接任何自訂 MCP 伺服器","settings.mcp.myServers":"自訂伺服器","settings.mcp.partnerServer.description.figma":"加入完整的 Figma 情境，生成更優質的程式碼","settings.mcp.partnerServer.description.github":"與 GitHub API 整合，將工作流程自動化並自動提取資料","settings.mcp.partnerServer.description.linear":"與 Linear 的問題追蹤和項目管理工具整合","settings.mcp.partnerServer.description.notion":"閱讀參考指南、更新頁面、管理任務","settings.mcp.partnerServer.description.playwright":"整合瀏覽器自動化功能，以便落實設計和測試 UI。","settings.mcp.partnerServer.install":"安裝","settings.mcp.partnerServer.installAndAuthenticate":"安裝並驗證","settings.mcp.partnerServer.logoAlt":"{label} 標誌","settings.mcp.partnerServer.manage":"管理","settings.mcp.partnerServer.vendor":"發起人：{vendor}","settings.mcp.recommendedServers":"推薦的伺服器","settings.mcp.restartApp":"重新啟動","settings.mcp.restartExtension":"重新啟動擴充功能","settings.mcp.server.enable":"啟用","settings.mcp.server.login":"驗證","settings.mcp.server.settings":"設定","settings.multiselect.createOption":"建立「{value}」","settings.multiselect.removeOption":"移除","settings.nav.account":"帳戶","settings.nav.agent":"設置","settings.nav.ariaLabel":"設定","settings.nav.back":"返回應用程式","settings.nav.data-controls":"已存檔的對話串","settings.nav.environments":"雲端環境","settings.nav.externalTooltip":"[alpha] 在瀏覽器開啟","settings.nav.general-settings":"一般","settings.nav.git-settings":"Git","settings.nav.local-environments":"環境","settings.nav.mcp-settings":"MCP 伺服器","settings.nav.notImplemented":"[alpha] Alpha 版尚未提供","settings.nav.personalization":"自訂","settings.nav.skills-settings":"技能","settings.nav.usage-analytics":"使用量與資料分析","settings.nav.worktrees":"工作樹","settings.openSourceLicenses.back":"返回","settings.openSourceLicenses.loading":"正在載入…","settings.openSourceLicenses.missing":"查無第三方通知。","settings.openSourceLicenses.notSupported":"不適用於此主機。","settings.openSourceLicenses.rowDescription":"關於捆綁式依賴項的第三方通知","settings.openSourceLicenses.rowLabel":"開放原始碼授權","settings.openSourceLicenses.subtitle":"此應用程式內有關依賴項的第三方通知","settings.openSourceLicenses.title":"開放原始碼授權","settings.openSourceLicenses.view":"查看","settings.personalization.agents.description":"更改指示，讓 Codex 更貼近你的需要。{learnMore}","settings.personalization.agents.learnMore":"了解詳情","settings.personalization.agents.loadError":"無法載入 agents.md。","settings.personalization.agents.loading":"正在載入 agents.md…","settings.personalization.agents.placeholder":"新增自訂指示…","settings.personalization.agents.retry":"重試","settings.personalization.agents.save":"儲存","settings.personalization.agents.save.error":"無法儲存 agents.md","settings.personalization.agents.save.success":"已儲存 agents.md","settings.personalization.agents.title":"自訂指示","settings.personalization.personality.description":"選擇預設的 Codex 回覆語氣","settings.personalization.personality.label":"個性","settings.sample.contentBody":"使用此佈局編排設定面板，確保間距一致。","settings.sample.contentTitle":"範本內容攔截","settings.section.account":"帳戶","settings.section.agent":"設置","settings.section.data-controls":"已存檔的對話串","settings.section.environments":"雲端環境","settings.section.external":"Alpha 測試期間使用瀏覽器開啟","settings.section.general-settings":"一般","settings.section.git-settings":"Git","settings.section.local-environments":"環境","settings.section.mcp-settings":"MCP 伺服器","settings.section.mcp-settings.docs":"文件","settings.section.mcp-settings.subtitle":"連接外部工具和數據來源。","settings.section.personalization":"自訂","settings.section.skills-settings":"技能","settings.section.unavailable":"Alpha 版尚未提供","settings.section.usage-analytics":"使用量與資料分析","settings.section.worktrees":"工作樹","settings.threadDetail.description":"選擇在對話串中顯示的指令輸出詳盡程度","settings.threadDetail.label":"對話串詳盡程度","settings.worktrees.conversation.untitled":"無標題對話","settings.worktrees.delete.error":"無法刪除工作樹","settings.worktrees.empty.body":"Codex 建立的工作樹會在此顯示。","settings.worktrees.empty.title":"尚無工作樹","settings.worktrees.error.body":"載入工作樹時發生錯誤。","settings.worktrees.error.retry":"重試","settings.worktrees.error.title":"無法載入工作樹","settings.worktrees.loading.body":"正在擷取工作樹詳情。","settings.worktrees.loading.title":"正在載入工作樹","settings.worktrees.repository.loading":"正在載入儲存庫元數據…","settings.worktrees.repository.unknown":"未知的程式碼庫","settings.worktrees.row.conversations":"對話","settings.worktrees.row.conversations.empty":"此工作樹沒有已連結的對話。","settings.worktrees.row.conversations.loading":"正在載入對話…","settings.worktrees.row.delete":"刪除","settings.worktrees.row.title":"工作樹","sidebarElectron.addWorkspaceRoot":"新增項目","sidebarElectron.archiveThread":"將對話串封存","sidebarElectron.archiveThreadError":"無法將對話串封存","sidebarElectron.collapseFolder":"收起資料夾","sidebarElectron.createStableWorktree":"建立永久工作樹","sidebarElectron.createStableWorktree.dialog.ariaLabel":"項目名稱","sidebarElectron.createStableWorktree.dialog.cancel":"取消","sidebarElectron.createStableWorktree.dialog.create":"建立","sidebarElectron.createStableWorktree.dialog.placeholder":"項目名稱","sidebarElectron.createStableWorktree.dialog.subtitle":"從 HEAD 建立新的 Git 工作樹、將其新增為項目，然後保留該項目，直至你移除為止。","sidebarElectron.createStableWorktree.dialog.title":"建立工作樹並另存為項目","sidebarElectron.createStableWorktree.error":"無法建立永久工作樹：{message}","sidebarElectron.debugNavLink":"偵錯","sidebarElectron.editWorkspaceRootOptionName":"編輯名稱","sidebarElectron.expandFolder":"展開資料夾","sidebarElectron.groupByMenu.recency":"順時間列表","sidebarElectron.groupByMenu.title":"整理","sidebarElectron.groupByMenu.workspace":"按項目","sidebarElectron.inboxRouteNavLink":"自動化程序","sidebarElectron.markThreadUnread":"標示為未讀","sidebarElectron.missingWorkspaceRoot":"此項目資料夾已刪除或移動","sidebarElectron.newThread":"新對話串","sidebarElectron.newThreadInGroup":"在「{folder}」開始新對話串","sidebarElectron.noRecentThreads":"沒有最近的對話串","sidebarElectron.noTasks":"沒有對話串","sidebarElectron.noTasks.start":"新增項目","sidebarElectron.noTasksWithFilter":"沒有與篩選條件相符的對話串","sidebarElectron.pinnedThreads":"已釘選對話串","sidebarElectron.recentNavLink":"對話串","sidebarElectron.recentThreads":"最近的對話串","sidebarElectron.removeWorkspaceRootOption":"移除","sidebarElectron.renameThread":"重新命名對話串","sidebarElectron.renameThreadDialogAriaLabel":"對話串標題","sidebarElectron.renameThreadDialogCancel":"取消","sidebarElectron.renameThreadDialogPlaceholder":"新增標題…","sidebarElectron.renameThreadDialogSave":"儲存","sidebarElectron.renameThreadDialogSubtitle":"請保持簡短易認。","sidebarElectron.renameThreadDialogTitle":"重新命名對話串","sidebarElectron.renameThreadError":"無法重新命名對話串。","sidebarElectron.renameWorkspaceRootOptionLabel":"顯示名稱","sidebarElectron.showLess":"顯示更少","sidebarElectron.showMenu.all":"所有對話串","sidebarElectron.showMenu.relevant":"相關","sidebarElectron.showMenu.relevantHint":"僅顯示當前分支、工作樹或其他需要關注的近期對話串","sidebarElectron.showMenu.title":"顯示","sidebarElectron.showMenu.tooltip":"篩選、排序與管理對話串","sidebarElectron.showMenu.trigger":"篩選側邊欄對話串","sidebarElectron.showMore":"顯示更多","sidebarElectron.skillsAppsRouteNavLink":"技能與應用程式","sidebarElectron.skillsRouteNavLink":"技能","sidebarElectron.sortMenu.created":"建立日期","sidebarElectron.sortMenu.title":"排序方式","sidebarElectron.sortMenu.updated":"已更新","sidebarElectron.taskNavigation":"自動化程序資料夾","sidebarElectron.tasksInFolder":"「{folder}」中的自動化程序","sidebarElectron.workspaceOptions":"{folder} 的項目操作","sidebarElectron.worktreeGroupTooltip":"這是 GIT 工作樹","skills.appsPage.apps.enableToggle":"啟用應用程式","skills.appsPage.apps.installOnChatGpt":"在 ChatGPT 上安裝","skills.appsPage.apps.manageOnChatGpt":"在 ChatGPT 上管理","skills.appsPage.apps.noDescription":"沒有描述","skills.appsPage.createSkill":"新技能","skills.appsPage.empty.apps":"查無應用程式","skills.appsPage.empty.discoverApps":"沒有應用程式可供探索","skills.appsPage.empty.installedApps":"未安裝任何應用程式","skills.appsPage.empty.skills":"查無技能","skills.appsPage.heading":"技能與應用程式","skills.appsPage.search.all":"搜尋技能和應用程式","skills.appsPage.search.all.label":"搜尋技能和應用程式","skills.appsPage.search.apps":"搜尋應用程式","skills.appsPage.search.apps.label":"搜尋應用程式","skills.appsPage.search.skills":"搜尋技能","skills.appsPage.search.skills.label":"搜尋技能","skills.appsPage.section.apps":"應用程式","skills.appsPage.section.apps.seeAll":"查看全部 {count} 個應用程式","skills.appsPage.section.discover":"探索","skills.appsPage.section.installedApps":"已安裝","skills.appsPage.section.skills":"技能","skills.appsPage.section.skills.seeAll":"瀏覽全部 {count} 個技能","skills.appsPage.subheading":"讓 Codex 更有能力。<link>了解詳情</link>","skills.appsPage.tab.apps":"應用程式","skills.appsPage.tab.recommended":"推薦","skills.appsPage.tab.skills":"技能","skills.card.contentsError":"無法載入技能內容。","skills.card.disable":"停用","skills.card.disableSuccess":"已停用 {skillName} 技能","skills.card.disabledBadge":"已停用","skills.card.enable":"啟用","skills.card.enableSuccess":"已啟用 {skillName} 技能","skills.card.loadingContents":"正在載入技能內容…","skills.card.more":"更多操作","skills.card.open":"開啟","skills.card.removeFailed":"無法解除安裝技能","skills.card.removeSuccess":"已解除安裝 {skillName} 技能","skills.card.toggleEnabledError":"無法更新技能","skills.card.try":"試試","skills.card.trySkill":"試用技能","skills.card.uninstall":"解除安裝","skills.hero.dotLabel":"前往幻燈片 {index}","skills.hero.next":"下一項精選技能","skills.hero.trySkill":"試用技能","skills.page.createSkill":"新技能","skills.page.empty":"查無技能","skills.page.filteredEmpty":"沒有技能與你的篩選條件相符","skills.page.filteredEmptyDescription":"請嘗試調整搜尋或範圍篩選條件","skills.page.heading":"技能","skills.page.loading":"正在載入技能…","skills.page.refreshSkills":"重新整理","skills.page.refreshSkillsToUseNew":"重新整理以使用新技能","skills.page.search":"搜尋技能","skills.page.search.label":"搜尋技能","skills.page.subheading":"讓 Codex 更有能力。<link>了解詳情</link>","skills.preview.copyPrompt":"複製提示詞","skills.preview.examplePrompt":"示例提示詞","skills.recommended.error":"無法載入推薦的技能。","skills.recommended.install":"安裝","skills.recommended.installSkill":"安裝技能","skills.recommended.installSuccess":"已安裝 {skillName} 技能","skills.recommended.installed":"已安裝","skills.scope.admin":"管理員","skills.scope.adminInstalled":"由管理員安裝","skills.scope.builtIn":"系統","skills.scope.personal":"個人","skills.scope.repo":"程式碼庫","skills.scope.system":"系統","skills.scope.team":"Team","skills.scope.user":"用戶","skills.section.installed":"已安裝","skills.section.recommended":"推薦","story.slidingToggle.existing":"現有","story.slidingToggle.fromLocal":"從本機","story.slidingToggle.new":"新","story.slidingToggle.toLocal":"至本機","terminal.close":"關閉終端機","terminal.title":"終端機","thinkingShimmer.default":"正在思考","threadEnvIcon.cloudTooltip":"此對話在 Codex Cloud 中執行。","threadEnvIcon.localTooltip":"此對話在本機執行。","threadEnvIcon.worktreeTooltip":"此對話在本機 git 工作樹中執行。","threadHeader.archiveConfirmCancel":"取消","threadHeader.archiveConfirmConfirm":"封存","threadHeader.archiveConfirmSubtitle":"你稍後可以在封存對話串中找到有關內容。","threadHeader.archiveConfirmTitle":"將對話串封存？","threadHeader.copyAppLink":"複製 Deeplink","threadHeader.copySessionId":"複製工作階段 ID","threadHeader.copyWorkingDirectory":"複製工作目錄","threadHeader.forkIntoLocal":"分支複製到本機","threadHeader.forkIntoWorktree":"分支複製到新的工作樹","threadHeader.forkPendingWorktreePrompt":"將此對話分支複製到本機或新工作樹。","threadHeader.forkPendingWorktreeTitle":"分支複製對話","threadHeader.forkThreadError":"無法分支複製對話串","threadHeader.forkThreadRequiresGitRepo":"分支複製到新的工作樹需要 Git 程式碼庫","threadHeader.moreActions":"對話串操作","threadPage.newThread":"新對話串","threadPage.runAction.changeEnvironment":"變更環境","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} 行動","threadPage.runAction.environmentSelector.label":"選擇環境","threadPage.runAction.label":"執行","threadPage.runAction.missing.label":"設定執行行動","threadPage.runAction.setup.commandLabel":"需要執行的指令","threadPage.runAction.setup.description":"向 Codex 說明如何安裝依賴項和啟動應用程式。","threadPage.runAction.setup.editMore":"環境設定","threadPage.runAction.setup.placeholder":"例子：npm install npm run","threadPage.runAction.setup.submit":"儲存並執行","threadPage.runAction.setup.title":"執行","threadPage.runAction.tooltip.withEnvironment":"{environmentName} 行動","threadPage.toggleDiffPanel":"切換差異面板","threadPage.toggleTerminal":"切換終端機開關","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"開啟資料夾","toolSummaryForCmd.exploredFiles":"<verb>已列出</verb>檔案","toolSummaryForCmd.exploredFilesInPath":"<verb>已列出</verb> {path} 中的檔案","toolSummaryForCmd.exploringFiles":"<verb>正在列出</verb>檔案","toolSummaryForCmd.exploringFilesInPath":"<verb>正在列出</verb> {path} 中的檔案","toolSummaryForCmd.finishedBackgroundTerminal":"背景終端機已完成操作","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"背景終端機已使用 {command} 完成操作","toolSummaryForCmd.ranGenericCommand":"<status>執行指令</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>已執行</status> {command}{timer}","toolSummaryForCmd.read":"<verb>讀取 </verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>正在執行指令</status>{timer}","toolSummaryForCmd.runningTimer":"執行時間：{elapsed}","toolSummaryForCmd.searchedFor":"<verb>已搜尋</verb>「{query}」","toolSummaryForCmd.searchedForFiles":"<verb>已搜尋</verb>檔案","toolSummaryForCmd.searchedForInPath":"已在 {path} 中<verb>搜尋</verb>「{query}」","toolSummaryForCmd.searchingFor":"<verb>正在搜尋</verb>「{query}」","toolSummaryForCmd.searchingForFiles":"<verb>正在搜尋</verb>檔案","toolSummaryForCmd.searchingForInPath":"正在 {path} 中<verb>搜尋</verb>「{query}」","toolSummaryForCmd.startedBackgroundTerminal":"已開始背景終端機操作","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"已使用 {command} 開始背景終端機操作","traceRecording.details.noteLabel":"此情況發生時，你正在處理什麼工作？（選填）","traceRecording.details.notePlaceholder":"前往大型對話串，然後反覆切換分頁…","traceRecording.details.submit":"傳送追蹤記錄","traceRecording.details.subtitle":"我們可以傳送此設定檔的追蹤記錄，協助診斷效能表現問題。","traceRecording.details.title":"傳送設定檔追蹤記錄","traceRecording.progress.subtitle":"此程序完成後，保持 Codex 開啟。","traceRecording.saving.title":"正在傳送追蹤記錄…","traceRecording.startDetails.cancel":"取消","traceRecording.startDetails.submit":"確認，開始錄製","traceRecording.startDetails.subtitle":"按下「確認」後，請重現效能表現問題，然後按一下懸浮的紅色指標以停止追蹤並查看記錄。","traceRecording.startDetails.title":"「追蹤記錄錄製功能」的運作原理","traceRecording.stopButton.ariaLabel":"停止追蹤記錄","traceRecording.upload.successToast":"已傳送設定檔追蹤記錄。","traceRecording.uploading.title":"正在上載追蹤記錄…","wham.diff.addComment":"新增評論","wham.diff.binaryFile":"沒有顯示二進制檔案","wham.diff.noContent":"沒有內容","wham.fileTag.deleted":"已刪除","wham.fileTag.new":"新","wham.formattedRelativeDateTime.compactDaysAgo":"{value} 日","wham.formattedRelativeDateTime.compactHoursAgo":"{value} 小時","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} 分","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} 個月","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} 星期","wham.formattedRelativeDateTime.compactYearsAgo":"{value} 年","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"正在執行你的任務","wham.whamProposedTask.title":"建議任務","wham.whamProposedTask.useSuggestion":"使用建議內容","workspaceRootDialog.addError":"無法新增項目","workspaceRootDialog.cancel":"取消","workspaceRootDialog.confirmAdd":"新增項目","workspaceRootDialog.confirmPick":"使用項目","workspaceRootDialog.description":"輸入 {host} 上的路徑以用作項目。","workspaceRootDialog.pathLabel":"項目路徑","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"新增項目路徑","workspaceRootDialog.title.pick":"選擇項目路徑","worktreeInitV2.cancel":"取消","worktreeInitV2.notification.failedTitle":"工作樹設定未能完成","worktreeInitV2.output.empty":"正在等候輸出…","worktreeInitV2.status.error":"工作樹設定未能完成。","worktreeInitV2.status.running":"建立工作樹並執行設定。","worktreeInitV2.status.runningFork":"正在建立工作樹以分支複製此對話。","worktreeInitV2.status.success":"工作樹準備就緒。","worktreeInitV2.title":"正在建立工作樹","worktreeInitV2.workLocallyInstead":"改於本機工作","worktreeRestoreBanner.body":"為節省儲存空間，此對話串的工作樹已移除。","worktreeRestoreBanner.missing.body":"此對話串的工作目錄已不再存在。","worktreeRestoreBanner.missing.title":"缺少當前工作的目錄","worktreeRestoreBanner.restore.error":"無法還原工作樹：{message}","worktreeRestoreBanner.restore.success":"工作樹已還原","worktreeRestoreBanner.restoreCta":"還原工作樹","worktreeRestoreBanner.title":"已清理工作樹"};export{e as default};
+const e={"CopyButton.copyTooltip":"複製","app.sidebar.hide":"隱藏側邊欄","app.sidebar.show":"顯示側邊欄","app.sidebar.tooltip":"切換側邊欄開關","appHeader.installUpdate":"更新","appSunset.body":"現已不再支援此應用程式版本，請從<here>此處</here>下載最新版本。","appSunset.title":"需要更新","automation.updateDirective.create":"建立","automation.updateDirective.open":"開啟","automation.updateDirective.untitled":"未命名的自動化程序","automation.updateDirective.update":"更新","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# 次嘗試}}","cloudTaskRow.archiveError":"無法將任務存檔","code.diff.requestChange":"要求變更","code.diffComment.cancel":"取消","code.diffComment.comment":"評論","code.diffComment.delete":"刪除","code.diffComment.save":"儲存","codeReviewAssistant.location":"{file}：{start} 至 {end}","codeReviewAssistant.noFindings":"未報告任何調查結果。","codex.alert.closeAriaLabel":"關閉","codex.appUpsellBanner.cbpApi.message":"使用 Codex 應用程式加快開發速度。立即下載或{learnMoreLink}。","codex.appUpsellBanner.download":"下載","codex.appUpsellBanner.freeGo.message":"由即日起至 3 月 2 日，你的計劃將包括 Codex。立即試用 Codex 應用程式，加快開發速度。","codex.appUpsellBanner.later":"稍後再說","codex.appUpsellBanner.learnMoreLowercase":"了解詳情","codex.appUpsellBanner.new":"新","codex.appUpsellBanner.proPlusBusiness.message":"由即日起至 4月 2 日，試用 Codex 應用程式可享 2 倍速率限額。立即下載或{learnMoreLink}","codex.appUpsellBanner.title":"Codex 應用程式","codex.applyDropdown.header.changes":"變更 ","codex.applyDropdown.header.fileCount":"{count, plural, other {# 個檔案}}","codex.applyDropdown.header.rows":"行","codex.applyDropdown.header.title":"套用變更","codex.applyDropdown.header.workspace":"項目","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} 個檔案發生衝突：}}","codex.applyDropdown.results.empty":"沒有複製任何檔案","codex.applyDropdown.results.skipped":"{count, plural, other {已略過 {count} 個檔案：}}","codex.applyOrRevertBanner.apply":"套用","codex.applyOrRevertBanner.applyMessage":"套用變更並在本機繼續？","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"此任務在 {environment} 中建立，可能無法完整套用。","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"變更在 {environment} 中建立，可能無法完整套用。","codex.applyOrRevertBanner.reapply":"重新套用","codex.applyOrRevertBanner.revert":"恢復","codex.applyOrRevertBanner.revertMessage":"恢復已套用的變更？","codex.applyResultsDialog.applied":"已完整套用 ({count} 項)","codex.applyResultsDialog.close":"關閉","codex.applyResultsDialog.conflicted":"發生衝突 ({count} 項)","codex.applyResultsDialog.noDetails":"沒有檔案詳情可供查看。","codex.applyResultsDialog.skipped":"已略過 ({count} 項)","codex.applyResultsDialog.title":"套用結果","codex.archiveInfo":"查看{dataControlsLink}中已封存的聊天。","codex.archiveInfo.dataControlsLink":"資料控制","codex.archiveInfo.electron":"查看{settingsLink}中已存檔的聊天。","codex.archiveInfo.extension":"查看 .codex 資料夾中已封存的聊天。","codex.archiveInfo.settingsLink":"設定","codex.banner.content.description":"同步執行任務、隨時隨地追蹤進度，以及使用 AI 檢查 PR，","codex.banner.content.headline":"Codex 一手包辦。","codex.cloudTaskRow.archiveTask":"將任務存檔","codex.cloudTaskRow.confirmArchiveTask":"確認","codex.command.feedback":"反饋","codex.command.findInThread":"尋找","codex.command.forceReloadSkills":"強制重新載入技能","codex.command.logOut":"登出","codex.command.manageTasks":"管理任務","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"返回","codex.command.navigateForward":"下一頁","codex.command.newThread":"新對話串","codex.command.nextThread":"下一個對話串","codex.command.openFolder":"開啟資料夾","codex.command.openSkills":"前往技能","codex.command.openThreadOverlay":"彈出對話串","codex.command.personalitySettings":"個性","codex.command.previousThread":"上一個對話串","codex.command.settings":"設定","codex.command.toggleDiffPanel":"切換差異面板","codex.command.toggleSidebar":"切換側邊欄開關","codex.command.toggleTerminal":"切換終端機開關","codex.commandGroup.app":"應用程式","codex.commandGroup.configure":"配置","codex.commandGroup.navigation":"導航","codex.commandGroup.panels":"面板","codex.commandGroup.skills":"技能","codex.commandGroup.thread":"對話串","codex.commandGroup.workspace":"項目","codex.commandMenu.noResults":"找不到相符結果","codex.commandMenu.searchPlaceholder":"搜尋指令","codex.commandMenu.suggestedGroup":"建議","codex.commandMenu.switchWorkspace":"切換項目","codex.commandMenu.title":"指令選單","codex.common.retry":"重試","codex.composer.searchBranches":"搜尋分支","codex.dialog.basic.body":"這個簡單的模態對話框使用我們的 Radix Dialog 包裝。","codex.dialog.basic.cancel":"取消","codex.dialog.basic.confirm":"確認","codex.dialog.basic.open":"開啟對話","codex.dialog.basic.title":"對話範本","codex.dialog.long.close":"關閉","codex.dialog.long.line":"可捲動行列 {index} 用於展示對話內的長篇內容。","codex.dialog.long.open":"開啟長篇對話","codex.dialog.long.title":"長篇內容對話","codex.dialog.unstyled.body":"此案例展示了來電者完全掌控對話內容樣式的方法。","codex.dialog.unstyled.open":"開啟未樣式化的對話","codex.dialog.unstyled.title":"未樣式化的內容","codex.diff.openInEditorPrompt.openButton":"使用編輯器開啟","codex.diff.openInEditorPrompt.singleLine":"檔案太大，無法在此顯示。","codex.diffView.failedToDecodeBase64Diff":"base64 差異解碼未能成功","codex.diffView.filesChanged":"{fileCount, plural, other {已變更 # 個檔案}}","codex.diffView.imagePreviewAlt":"圖像預覽","codex.diffView.imagePreviewEmpty":"沒有圖像","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"沒有差異數據","codex.diffView.pdfPreview.nextPage":"下一頁","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"上一頁","codex.diffView.pdfPreviewEmpty":"沒有 PDF 預覽","codex.diffView.pdfPreviewError":"無法渲染 PDF 預覽","codex.diffView.richPreviewDisable":"停用多媒體預覽","codex.diffView.richPreviewEnable":"啟用多媒體預覽","codex.diffView.richPreviewLoading":"正在載入預覽…","codex.diffView.richPreviewToggle":"切換多媒體預覽","codex.diffView.switchToUnified":"切換至統一差異","codex.environmentSelector.noEnvironment":"未選取任何環境","codex.environments.environmentSettings":"環境設定","codex.environments.learnMore":"了解詳情","codex.environments.listError":"無法載入環境。","codex.environments.noEnvironmentsFound":"找不到環境","codex.environments.searchError":"無法搜尋環境。","codex.errorBoundary.genericError":"抱歉，發生錯誤！","codex.errorBoundary.goHome":"重試","codex.file.patch.missing":"無法為此檔案建立修補程式。","codex.gallery.automations.cwdLabel":"項目","codex.gallery.automations.nameLabel":"名稱","codex.gallery.automations.namePlaceholder":"總結任務摘要","codex.gallery.automations.promptLabel":"提示詞","codex.gallery.automations.promptPlaceholder":"描述 Codex 應採取的行動","codex.gallery.dialogs.automation.label":"自動化對話","codex.gallery.dialogs.basic.body":"將此佈局用於直接確認訊息或簡短表格。","codex.gallery.dialogs.basic.cancel":"取消","codex.gallery.dialogs.basic.confirm":"確認","codex.gallery.dialogs.basic.label":"基本對話","codex.gallery.dialogs.basic.title":"對話範本","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"描述問題","codex.gallery.dialogs.feedbackSubmission.bad":"結果欠佳","codex.gallery.dialogs.feedbackSubmission.bug":"錯誤","codex.gallery.dialogs.feedbackSubmission.good":"結果出色","codex.gallery.dialogs.feedbackSubmission.includeLogs":"包括當前 Codex 工作階段的記錄","codex.gallery.dialogs.feedbackSubmission.label":"提交反饋","codex.gallery.dialogs.feedbackSubmission.other":"其他","codex.gallery.dialogs.feedbackSubmission.placeholder":"請在此處描述問題","codex.gallery.dialogs.feedbackSubmission.safetyCheck":"安全檢查","codex.gallery.dialogs.feedbackSubmission.submit":"提交","codex.gallery.dialogs.feedbackSubmission.title":"反饋","codex.gallery.dialogs.feedbackSuccess.body":"已上載反饋。如果問題持續，請在 GitHub 提交問題報告，或在現有的未解決問題中提及該對話串 ID：","codex.gallery.dialogs.feedbackSuccess.dismiss":"略過","codex.gallery.dialogs.feedbackSuccess.label":"反饋成功","codex.gallery.dialogs.feedbackSuccess.title":"已上載反饋","codex.gallery.dialogs.gitApplyResults.applied":"已完整套用 (2)","codex.gallery.dialogs.gitApplyResults.close":"關閉","codex.gallery.dialogs.gitApplyResults.conflicted":"發生衝突 (1)","codex.gallery.dialogs.gitApplyResults.label":"套用結果","codex.gallery.dialogs.gitApplyResults.title":"套用結果","codex.gallery.dialogs.gitPushError.body":"拉取最新變更，或在確定遠端使用記錄可安全覆蓋的情況下強制推送。","codex.gallery.dialogs.gitPushError.cancel":"取消","codex.gallery.dialogs.gitPushError.force":"強行推送","codex.gallery.dialogs.gitPushError.label":"推送錯誤","codex.gallery.dialogs.gitPushError.subtitle":"你的分支落後於原有/主要分支。","codex.gallery.dialogs.gitPushError.title":"無法推送變更","codex.gallery.dialogs.gitRevert.cancel":"取消","codex.gallery.dialogs.gitRevert.confirm":"恢復","codex.gallery.dialogs.gitRevert.label":"復原變更","codex.gallery.dialogs.gitRevert.skip":"不要再問","codex.gallery.dialogs.gitRevert.subtitle":"此行動將移除所有變更。","codex.gallery.dialogs.gitRevert.title":"復原變更？","codex.gallery.dialogs.longForm.label":"長篇表格對話","codex.gallery.dialogs.proseModal.body":"此模態樣式用於較長的說明、上線指引或內容豐富的區塊。","codex.gallery.dialogs.proseModal.close":"關閉","codex.gallery.dialogs.proseModal.subtitle":"請在此處分享較長的指引或文件。","codex.gallery.dialogs.proseModal.title":"散文模態","codex.gallery.dialogs.submitBlocked.label":"提交操作被攔截","codex.gallery.dialogs.submitBlocked.message":"由於該項目無法使用，你的訊息無法發送。","codex.gallery.dialogs.submitBlocked.ok":"確認","codex.gallery.dialogs.submitBlocked.title":"無法傳送訊息","codex.gallery.dialogs.title":"對話","codex.gallery.dropdown.filterPlaceholder":"篩選項目","codex.gallery.dropdowns.actionRow":"操作列","codex.gallery.dropdowns.actionRow.disabled":"已停用的操作","codex.gallery.dropdowns.actionRow.primary":"主要操作","codex.gallery.dropdowns.actionRow.secondary":"次要操作","codex.gallery.dropdowns.actionRow.trigger":"顯示操作","codex.gallery.dropdowns.basic":"基本下拉式選單","codex.gallery.dropdowns.basic.newFile":"新增檔案","codex.gallery.dropdowns.basic.newFolder":"新建資料夾","codex.gallery.dropdowns.basic.openSettings":"開啟設定","codex.gallery.dropdowns.basic.title":"快捷操作","codex.gallery.dropdowns.basic.trigger":"開啟選單","codex.gallery.dropdowns.basic.upload":"上載","codex.gallery.dropdowns.panel":"面板介面","codex.gallery.dropdowns.panel.apply":"套用","codex.gallery.dropdowns.panel.body":"查看差異並套用至你的項目。","codex.gallery.dropdowns.panel.preview":"預覽","codex.gallery.dropdowns.panel.title":"套用變更","codex.gallery.dropdowns.panel.trigger":"開啟面板","codex.gallery.dropdowns.search":"可搜尋的下拉式選單","codex.gallery.dropdowns.search.first":"Alpha 頻道","codex.gallery.dropdowns.search.second":"Beta 分支","codex.gallery.dropdowns.search.third":"候選發佈版本","codex.gallery.dropdowns.search.trigger":"篩選項目","codex.gallery.dropdowns.submenu":"帶有子選單的下拉式選單","codex.gallery.dropdowns.submenu.optionA":"項目 alpha","codex.gallery.dropdowns.submenu.optionB":"項目 beta","codex.gallery.dropdowns.submenu.optionC":"項目 gamma","codex.gallery.dropdowns.submenu.primary":"分配擁有者","codex.gallery.dropdowns.submenu.secondary":"移至","codex.gallery.dropdowns.submenu.tertiary":"封存","codex.gallery.dropdowns.submenu.trigger":"選擇操作","codex.gallery.dropdowns.title":"下拉式選單","codex.gallery.inbox.automations.close":"關閉","codex.gallery.inbox.automations.popover.cardTitle":"管理自動化程序","codex.gallery.inbox.automations.popover.dialogTitle":"管理自動化程序","codex.header.settingsTooltip":"設定","codex.hunk.patch.error":"無法暫存","codex.hunk.patch.missing":"無法為此差異區塊建立修補程式。","codex.hunk.patch.partialSuccess":"部分成功","codex.hunk.patch.revertError":"無法取消暫存","codex.hunk.patch.revertSuccess":"成功取消暫存","codex.hunk.patch.success":"成功暫存","codex.legal.autonomy.details":"如需進一步了解詳情，請查看 {link}","codex.legal.autonomy.details.link":"Codex 參考指南","codex.legal.autonomy.title":"決定你想賦予的自主程度","codex.legal.backButton":"返回","codex.legal.cloud.taskOne.meta":"openai/agi · 10 月 12 日","codex.legal.cloud.taskOne.title":"向新設計師說明儲存庫","codex.legal.cloud.taskThree.meta":"openai/codex · 10 月 8 日","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"創作深色模式主題","codex.legal.cloud.taskTwo.meta":"openai/agi · 10 月 9 日","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"修正上線錯誤","codex.legal.continue.apikey":"繼續","codex.legal.continueButton":"下一步","codex.legal.copilot.details":"使用你的 Copilot 計劃進行模型呼叫、處理帳單，以及設立用量限制等各式任務。Codex 的擴充功能使用情況受 {oaiTos}及 {gitHubTos}約束。","codex.legal.copilot.gitHubTosLink":"GitHub 服務條款","codex.legal.copilot.oaiTosLink":"OpenAI Codex 服務條款","codex.legal.copilot.title":"使用 GitHub Copilot 作為核心","codex.legal.mistakes.review":"檢查 Codex 編寫的程式碼及其執行的指令","codex.legal.mistakes.title":"Codex 可能會出錯","codex.legal.powered.details":"使用你的計劃用量限額及{link}","codex.legal.powered.details.link":"訓練數據偏好設定","codex.legal.powered.title":"使用你的 ChatGPT 帳戶作為核心","codex.legal.step.cloud.subtitle":"將任務傳送至 Codex 以在背景執行，讓你能夠專注工作並提升效率。","codex.legal.step.cloud.title":"透過雲端將工作轉交 Codex","codex.legal.step.intro.subtitle":"Codex 可直接瀏覽你的儲存庫，並在當中編輯和執行指令，以及進行測試。全數功能使用你的 ChatGPT 帳戶作為核心。","codex.legal.step.intro.title":"在你的 IDE 中使用 Codex","codex.legal.step.todo.subtitle":"撰寫 TODO 意見備註，然後按一下即可將其轉為 Codex 任務。","codex.legal.step.todo.title":"將 TODO 轉為 Codex 任務","codex.legal.todo.heading":"// TODO：執行架構","codex.localConversation.closeImagePreview":"關閉圖像預覽","codex.localConversation.userImageAttachment":"用戶附件","codex.localTaskRow.archiveTask":"將對話串存檔","codex.localTaskRow.awaitingApproval":"正在等待核准","codex.localTaskRow.awaitingResponse":"正在等候回覆","codex.localTaskRow.confirmArchiveTask":"確認","codex.loggedOut.apiKeyPrompt.cancel":"取消","codex.loggedOut.apiKeyPrompt.confirm":"確認","codex.loggedOut.apiKeyPrompt.getKey":"獲取 API 金鑰","codex.loggedOut.apiKeyPrompt.inputLabel":"輸入你的 OpenAI API 金鑰","codex.loggedOut.apiKeyPrompt.placeholder":"sk-…","codex.loggedOut.cloudTasksDisabledWithApiKey":"雲端任務已透過 API 金鑰停用","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"雲端任務已透過 Copilot 及 API 金鑰停用","codex.loggedOut.signIn":"使用 ChatGPT 登入","codex.loggedOut.signIn.cancel":"取消登入","codex.loggedOut.signInWithCopilot":"使用 GitHub Copilot 登入","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"使用 API 金鑰","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool}工具","codex.mcpTool.collapsedLabel.verb.called":"已調用","codex.mcpTool.collapsedLabel.verb.calling":"正在調用","codex.mcpTool.embeddedResource.contentLabel":"內容","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME 類型","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"工具沒有傳回內容","codex.mcpTool.rawPayloadHeading":"原始{server}。{tool} 工具呼叫負載","codex.menu.recent":"最近","codex.menu.seeAllHistory":"查看完整紀錄","codex.modelCapacityBanner.headline.noReset":"{modelName} 目前已達使用上限。請稍後再試，或與其他模型展開新對話。","codex.modelCapacityBanner.headline.withReset":"{modelName} 目前已達使用上限。請在{resetDate}後重試，或與其他模型展開新對話。","codex.modelCapacityBanner.title":"所選模型目前已達使用上限","codex.patch.change.contentsDeleted":"內容已刪除","codex.patch.change.created":"建立日期","codex.patch.change.created-file":"已建立檔案","codex.patch.change.creating":"正在建立","codex.patch.change.deleted":"已刪除","codex.patch.change.deleted-file":"已刪除檔案","codex.patch.change.deleting":"正在刪除","codex.patch.change.edited":"已編輯","codex.patch.change.edited-file":"已編輯的檔案","codex.patch.change.editing":"正在編輯","codex.patch.change.noChanges":"沒有變更","codex.patch.change.rejected-add":"已被拒絕","codex.patch.change.rejected-delete":"已被拒絕","codex.patch.change.rejected-edit":"已被拒絕","codex.plan.stepIndexPrefix":"{index}.","codex.plan.tasksCompletedSummary":"已完成 {completed} 項任務，共 {total} 項任務","codex.plan.todoListCreated":"已建立有 {total} 項任務的待辦事項清單","codex.profileDropdown.apiKeyAuth":"已使用 API 金鑰登入","codex.profileDropdown.codexSettings":"Codex 設定","codex.profileDropdown.copilotAuth":"已使用 Copilot 登入","codex.profileDropdown.defaultAccountTitle":"預設帳戶","codex.profileDropdown.enterBehavior":"按下 {modifierSymbol} + Enter 鍵傳送長提示詞","codex.profileDropdown.enterBehaviorError":"無法更新設定","codex.profileDropdown.getPlus":"升級以專享更高限額","codex.profileDropdown.keyboardShortcuts":"鍵盤快捷鍵","codex.profileDropdown.language":"語言","codex.profileDropdown.languageDefault":"自動偵測","codex.profileDropdown.languageSearchPlaceholder":"搜尋語言","codex.profileDropdown.languageUpdateError":"無法更新語言","codex.profileDropdown.logOut":"登出","codex.profileDropdown.mcp":"MCP 設定","codex.profileDropdown.openConfigToml":"開啟 config.toml","codex.profileDropdown.openConfigToml.wsl":"在 WSL 環境開啟 config.toml","codex.profileDropdown.openExtensionSettings":"開啟設定","codex.profileDropdown.openMcpSettings":"開啟 MCP 設定","codex.profileDropdown.openOnStartup":"啟動時開啟","codex.profileDropdown.openOnStartupError":"無法更新設定","codex.profileDropdown.openSkillsSettings":"開啟技能設定","codex.profileDropdown.personalAccountTitle":"個人帳戶","codex.profileDropdown.queueFollowUps":"將跟進工作加入佇列","codex.profileDropdown.queueFollowUpsError":"無法更新設定","codex.profileDropdown.readDocs":"閱讀參考指南","codex.profileDropdown.readSkillsDocs":"閱讀參考指南","codex.profileDropdown.runInWsl":"在 WSL 中執行","codex.profileDropdown.runInWslError":"無法更新設定","codex.profileDropdown.runInWslTooltip":"在 WSL 中執行 Codex；此建議選項有助加強沙盒的系統防護機制及改善效能。","codex.profileDropdown.settings":"IDE 設定","codex.profileDropdown.settingsPage":"設定","codex.profileDropdown.signInWithOpenAI":"使用 ChatGPT 登入","codex.profileDropdown.skills":"技能設定","codex.profileDropdown.switchToCopilotAccount":"使用 Copilot 帳戶","codex.profileDropdown.switchToOpenAIAccount":"使用 OpenAI 帳戶","codex.profileDropdown.todoCodelens":"修正 TODO 意見備註","codex.profileDropdown.todoCodelensError":"無法更新設定","codex.profileDropdown.windowsDocumentation":"Windows 參考文件","codex.profileFooter.signedInFallback":"設定","codex.profileFooter.upgrade":"升級","codex.recentTasksMenu.clearSearch":"清除搜尋內容","codex.recentTasksMenu.cloud":"雲端任務","codex.recentTasksMenu.count":"{count, plural, =0 {沒有任務正在處理} other {正在處理 # 項任務}}","codex.recentTasksMenu.empty":"尚無對話串","codex.recentTasksMenu.errorCloud":"無法載入任務。","codex.recentTasksMenu.errorCloud.inline":"無法載入雲端任務。","codex.recentTasksMenu.filterAll":"全部","codex.recentTasksMenu.filterCloudTasks":"篩選雲端任務","codex.recentTasksMenu.filterTooltip":"按環境篩選任務","codex.recentTasksMenu.local":"本機任務","codex.recentTasksMenu.recent":"全部任務","codex.recentTasksMenu.search":"搜尋最近的任務","codex.recentTasksMenu.searchEmpty":"查無結果","codex.recentTasksMenu.tooltip":"任務紀錄","codex.recentTasksMenu.trigger":"最近的任務。{count, plural, other {正在處理 # 項}}","codex.remoteConversation.applyDiff.applyCta":"套用變更","codex.remoteConversation.applyDiff.dropdownTitle":"將變更套用至本機分支","codex.remoteConversation.applyDiff.revertCta":"復原變更","codex.remoteConversation.closeImagePreview":"關閉圖像預覽","codex.remoteConversation.codexCloudTask":"你正在查看 <u>Codex Cloud</u> 任務","codex.remoteConversation.errorWithMessage":"錯誤：{message}","codex.remoteConversation.loadingImage":"正在載入圖像","codex.remoteConversation.openInWeb":"在網頁開啟","codex.remoteConversation.streaming":"開始使用","codex.remoteConversation.turnFailed":"執行此任務時發生錯誤","codex.remoteConversation.turnTab.loading":"嘗試 {number}","codex.remoteConversation.turnTab.title":"嘗試 {number}","codex.remoteConversation.userImageAttachment":"用戶附件","codex.remoteConversation.viewPreviousTurns":"在網頁開啟","codex.remoteConversation.viewPreviousTurns.buttonText":"開啟","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"在網頁開啟","codex.review.copyGitApplyCommand":"複製 Git 套用指令","codex.review.copyGitApplyCommand.toast":"已將 Git 套用指令複製到剪貼簿","codex.review.diffTooLarge.description":"差異太大，無法在「檢查」模式中顯示。","codex.review.diffTooLarge.title":"差異太大，無法顯示","codex.review.expandOrCollapseDiffButton.collapse":"收起全部差異","codex.review.expandOrCollapseDiffButton.expand":"展開全部差異","codex.review.expandOrCollapseDiffMenu.collapse":"收起全部差異","codex.review.expandOrCollapseDiffMenu.expand":"展開全部差異","codex.review.fileSearch.clear":"清除檔案篩選條件","codex.review.fileSearch.empty":"沒有檔案與目前的篩選條件相符。","codex.review.fileSearch.label":"篩選檔案","codex.review.fileSearch.placeholder":"篩選檔案…","codex.review.filesChanged":"{num, plural, =0 {未更改任何檔案} other {已更改 # 個檔案}}","codex.review.find.loadMore":"載入更多相符結果","codex.review.fullReview.hideFileTree":"隱藏檔案樹","codex.review.fullReview.showFileTree":"顯示檔案樹","codex.review.header.moreOptions":"查看選項","codex.review.largeDiff.banner":"偵測到巨大差異；每次將顯示一個檔案。","codex.review.loadFullFiles.disable":"不要載入完整檔案","codex.review.loadFullFiles.enable":"載入完整檔案","codex.review.noDiff":"檔案變更將在此顯示","codex.review.noDiff.gitInit.createRepository":"建立 Git 儲存庫","codex.review.noDiff.gitInit.creating":"正在建立…","codex.review.noDiff.gitInit.error":"Git 未能啟動：{message}","codex.review.noDiff.gitInit.success":"已建立 Git 儲存庫","codex.review.noDiff.gitRepoRequired.description":"追蹤並復原此項目的變更","codex.review.noDiff.gitRepoRequired.title":"建立 Git 儲存庫","codex.review.noDiff.orNoLongerAvailable":"或最新的差異已消除","codex.review.noDiff.reverted":"已恢復上一個輪次","codex.review.noDiff.revertedOrCommitted":"已恢復或提交上一個輪次","codex.review.refreshGitQueries":"重新整理","codex.review.revert.file.error":"無法恢復 {path}","codex.review.revert.file.partialSuccess":"{path} 已部分恢復","codex.review.revert.file.success":"已恢復 {path}","codex.review.revert.hunk.error":"無法恢復 {path} 中的差異區塊 {hunkNumber}。","codex.review.revert.hunk.partialSuccess":"{path} 中的差異區塊 {hunkNumber} 已部分恢復","codex.review.revert.hunk.success":"已恢復 {path} 中的差異區塊 {hunkNumber}","codex.review.revert.section.error":"無法恢復區域","codex.review.revert.section.partialSuccess":"區域已部分恢復","codex.review.revert.section.success":"區域已恢復","codex.review.revertDialog.cancel":"取消","codex.review.revertDialog.confirm":"確認","codex.review.revertDialog.message":"此行動將移除所有變更。","codex.review.revertDialog.skip":"不要再問","codex.review.revertDialog.title":"復原變更？","codex.review.richPreview.disable":"停用多媒體預覽","codex.review.richPreview.enable":"啟用多媒體預覽","codex.review.source.cloud":"雲端變更","codex.review.source.local.all":"所有分支變更","codex.review.source.local.lastTurn":"最新輪次變更","codex.review.source.local.uncommitted":"未提交的變更","codex.review.source.worktree":"未提交的工作樹變更","codex.review.stageFilter.empty.staged.description":"接受以暫存變更","codex.review.stageFilter.empty.staged.title":"沒有暫存變更","codex.review.stageFilter.empty.unstaged.description":"程式碼變更會在此顯示","codex.review.stageFilter.empty.unstaged.title":"沒有未暫存變更","codex.review.stageFilter.staged":"已暫存","codex.review.stageFilter.staged.count":"已暫存 · {count} 個","codex.review.stageFilter.unstaged":"未暫存","codex.review.stageFilter.unstaged.count":"未暫存· {count} 個","codex.review.switchToSplit":"切換至並排差異畫面","codex.review.switchToUnified":"切換至統一差異","codex.review.toggleDiffView":"切換差異畫面","codex.review.wordDiffs.disable":"停用文本差異","codex.review.wordDiffs.enable":"啟用文本差異","codex.review.wrap.disable":"停用自動換行","codex.review.wrap.enable":"啟用自動換行","codex.section.patch.missing":"無法為此部分建立修補程式。","codex.shell.collapse":"收起 Shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"已複製 Shell 內容","codex.shell.copy.copyTooltip":"複製 Shell 內容","codex.shell.copyCommand":"複製指令","codex.shell.copyOutput":"複製輸出","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"展開 Shell","codex.shell.name":"Shell","codex.shell.noOutput":"沒有輸出","codex.signInFailed.message":"登入失敗：{rawMessage}","codex.stories.toast.show":"顯示 Toast","codex.stories.tooltip.basic":"這是一則工具提示","codex.stories.tooltip.hoverMe":"懸浮在我之上","codex.stories.tooltip.largerOffset":"此工具提示的位移較大","codex.stories.tooltip.offsetButton":"較大位移","codex.stories.tooltip.shortcutButton":"使用快捷方式","codex.stories.tooltip.withShortcut":"切換終端機開關","codex.taskRow.title":"新對話串","codex.taskRowLayout.confirm":"確認","codex.threadFindBar.chatFilter":"搜尋對話","codex.threadFindBar.close":"關閉搜尋列","codex.threadFindBar.diffFilter":"搜尋差異","codex.threadFindBar.label":"在對話串中尋找","codex.threadFindBar.nextResult":"下一個結果","codex.threadFindBar.noResults":"0 個結果","codex.threadFindBar.placeholder":"搜尋對話串…","codex.threadFindBar.placeholder.extension":"搜尋對話串…","codex.threadFindBar.placeholder.review":"搜尋差異…","codex.threadFindBar.placeholder.review.extension":"搜尋差異…","codex.threadFindBar.previousResult":"上一個結果","codex.todoPlan.stepIndexPrefix":"{index}.","codex.ui.bulletSeparator":"·","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {已更改 # 個檔案}}","codex.unifiedDiff.inlineLargeFile":"尺寸太大，無法在內文中渲染","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"復原","codex.unifiedDiff.revertPatchError":"無法復原變更","codex.unifiedDiff.revertPatchSuccess":"變更已復原","codex.unifiedDiff.reviewChangesSuffix":"變更","codex.unifiedDiff.reviewShort":"查看","codex.unifiedDiff.viewDiffTooltip":"查看","codex.upsellBanner.business.headline":"如要立即獲得更多存取限額，請向管理員提交申請，或等待直至 {resetDate}。","codex.upsellBanner.cbp.headline":"若要立即獲得更多存取權，請向你的管理員提交申請。","codex.upsellBanner.cta.addCredits":"新增積分","codex.upsellBanner.cta.upgradeAccount":"升級","codex.upsellBanner.cta.viewUsage":"查看用量","codex.upsellBanner.free.trialHeadline":"速率限額將於{resetDate}重設。如要繼續使用 Codex 及存取 GPT-5.3-Codex，請即開始免費試用 Plus 計劃。","codex.upsellBanner.freeOrGo.headline":"速率限額將於 {resetDate}重設。如要繼續使用 Codex，請即升級至 Plus。","codex.upsellBanner.general.headline":"速率限額將於 {resetDate}重設。","codex.upsellBanner.general.title":"你的 Codex 訊息已耗盡。","codex.upsellBanner.go.trialHeadline":"速率限額將於{resetDate}重設。如要繼續使用 Codex，請即開始免費試用 Plus 計劃。","codex.upsellBanner.plus.headline":"速率限額將於 {resetDate}重設。如要繼續使用 Codex，請即新增積分或升級至 Pro。","codex.upsellBanner.pro.headline":"速率限額將於 {resetDate}重設。請即新增積分以繼續使用 Codex。","codex.userMessage.autoResolveSync":"自動解決衝突","codex.userMessage.commentCount":"{count, plural, other {# 則評論}}","codex.userMessage.copiedAriaLabel":"已複製","codex.userMessage.copiedTooltip":"已複製","codex.userMessage.copyAriaLabel":"複製訊息","codex.userMessage.copyTooltip":"複製","codex.userMessage.implementPlan":"實行計劃","codex.userMessage.noContent":"（沒有內容）","codex.userMessage.priorConversation":"參考先前的對話","codex.userMessage.reviewMode":"審核模式","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"執行時間：{query}","codex.webSearch.summary.verb.completed":"已搜尋網頁","codex.webSearch.summary.verb.inProgress":"正在搜尋網頁","codex.windowsInstallWslBanner.dismiss":"略過","codex.windowsInstallWslBanner.installWslCta":"啟用沙盒","codex.windowsInstallWslBanner.learnMore":"了解詳情","codex.windowsSandboxBanner.content":"代理模式會在 Windows 上使用實驗版沙盒來限制檔案系統及網絡存取。{sandboxLink}","codex.windowsSandboxBanner.title":"為代理模式啟用沙盒","codex.windowsSubDropdown.windowsSandbox":"Windows 沙盒","codex.windowsSubDropdown.windowsSettings":"Windows 設定","codexUpgradeModal.body":"我們最新的前沿編碼模型不但更聰明快捷，而且更擅長處理一般技術工作。{link}","codexUpgradeModal.close":"關閉","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"了解詳情","codexUpgradeModal.title":"GPT-5.3-Codex 登場","codexUpgradeModal.tryNewModel":"立即試試 GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"使用當前模型繼續","commentAttachments.numComments":"{count, plural, other {# 則評論}}","commentAttachments.removeAriaLabel":"移除評論附件","common.close":"關閉","composer.addContext.openFilePickerError":"無法開啟檔案選擇器","composer.addContextDropdown.ariaLabel":"新增檔案和其他内容","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"新增檔案和其他内容","composer.addPhotosAndFiles":"新增照片與檔案","composer.atMentionList.emptyQuery":"輸入內容以搜尋檔案","composer.atMentionList.loading":"正在搜尋檔案…","composer.atMentionList.noResults":"查無結果","composer.attemptsSelector.option":"{count, plural, other {# 個版本}}","composer.attemptsSelector.tooltip":"Codex 可同步嘗試的次數","composer.attemptsSelector.trigger":"{count} 個","composer.backgroundTerminals.runningLabel":"正在執行 {count, plural, other {# 個終端機}}","composer.backgroundTerminals.stop":"停止","composer.cleanBackgroundTerminals.error":"無法停止背景終端機。","composer.cloudFollowUp.cloud":"雲端","composer.cloudFollowUp.local":"本機","composer.cloudFollowUp.whereRun":"此後續程序應在何處執行？","composer.cloudTaskCreationError":"建立雲端任務時發生錯誤","composer.cloudTaskError":"建立任務時發生錯誤","composer.contextWindow.autoCompactionTooltipLine1":"Codex 將自動縮小情境","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"情境用量：","composer.contextWindowUsageStatusFull":"已耗用 {usage}%","composer.contextWindowUsageStatusLeft":"已耗用 {usage}%（尚餘 {remaining}%）","composer.contextWindowUsageTooltip":"已使用 {usedTokens}k / {contextWindow}k Token","composer.customCliTooltip":"使用自訂 CLI 執行","composer.dictation.aria":"聽寫","composer.dictation.cancel.aria":"停止口述","composer.dictation.cancel.tooltip":"停止口述","composer.dictation.startError":"無法開始聽寫","composer.dictation.submit.aria":"轉錄並傳送","composer.dictation.submit.tooltip":"轉錄並傳送","composer.dictation.tooltip":"長按即可口述","composer.dictation.transcribeError":"無法轉錄音訊","composer.dictation.unsupported":"無法在此裝置上使用聽寫功能","composer.dropOverlay.holdShift":"長按 {key}以拖放","composer.dropOverlay.shiftKey":"Shift 鍵","composer.environmentSelector.createNew":"建立新環境","composer.environmentSelector.error":"載入環境時發生錯誤","composer.environmentSelector.goBack":"返回 Composer","composer.environmentSelector.title":"選取環境","composer.environmentSelector.tooltip":"選擇雲端環境","composer.feedbackSlashCommand.title":"反饋","composer.filePicker.selectFile":"選取檔案","composer.filePicker.selectFiles":"選取檔案","composer.followerTooltip":"如要繼續，請返回展開該對話的視窗。","composer.footer.branchSwitch.checkoutError":"無法切換分支：{message}","composer.footer.branchSwitch.createAndCheckout":"建立並檢出新分支…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"提交變更以建立並檢出新分支","composer.footer.branchSwitch.createBranchError":"無法建立分支：{message}","composer.footer.branchSwitch.createDialog.ariaLabel":"分支名稱","composer.footer.branchSwitch.createDialog.branchExistsError":"分支已存在。","composer.footer.branchSwitch.createDialog.close":"關閉","composer.footer.branchSwitch.createDialog.createAndCheckout":"建立並檢出","composer.footer.branchSwitch.createDialog.placeholder":"新分支","composer.footer.branchSwitch.createDialog.title":"建立並檢出分支","composer.footer.branchSwitch.createDialog.trailingSlashError":"分支名稱不能以「/」結尾。","composer.footer.branchSwitch.tooltip":"切換分支","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"提交 {fileCount, plural, other {# 個檔案}}的變更以檢出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"提交","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":" {fileCount, plural, other {# 個檔案}}的變更以檢出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.cancel":"取消","composer.footer.branchSwitch.uncommittedDialog.commit":"提交並切換分支…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"你對下列檔案所作出的變更將由檢出內容覆蓋：","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"請提交變更以繼續","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"所選分支","composer.footer.branchSwitch.uncommittedDialog.title":"提交變更以切換分支","composer.footer.branchSwitch.uncommittedSummaryPrefix":"未提交：{fileCount, plural, other {# 個檔案}}","composer.forkSlashCommand.description":"將此對話串分支複製到本機或新工作樹","composer.forkSlashCommand.option.local.description":"在本機對話串中繼續","composer.forkSlashCommand.option.local.title":"分支複製到本機","composer.forkSlashCommand.option.worktree.description":"在工作樹中繼續","composer.forkSlashCommand.option.worktree.title":"分支複製到新的工作樹","composer.forkSlashCommand.title":"分叉","composer.ideContextIndicator":"IDE 情境","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"包括 IDE 中的上下文，例如{br}當前的選取內容和開啟的檔案。","composer.ideContextIndicator.tooltipToggle":"以切換","composer.ideContextSlashCommand.disableDescription":"停用 IDE 情境","composer.ideContextSlashCommand.enableDescription":"包括 IDE 中當前的選取內容、處理中的檔案及其他情境","composer.ideContextSlashCommand.title":"IDE 情境","composer.imageInputsUnsupported":"此模型不支援圖像輸入內容，請改用其他模型試試。","composer.imageUploadFailed":"無法上傳圖像","composer.includeIdeContextDropdown":"包括 IDE 情境","composer.includeIdeContextDropdown.ariaLabel":"包括 IDE 情境","composer.localCwdDropdown.addWorkspaceRoot":"新增項目","composer.localCwdDropdown.noActiveRoot":"選取項目","composer.localCwdDropdown.noResults":"找不到任何資料夾","composer.localCwdDropdown.title":"選取項目","composer.localTaskError":"展開對話時發生錯誤","composer.mcpSlashCommand.description":"顯示 MCP 伺服器狀態","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"未經驗證","composer.mcpStatus.authOauth":"已通過驗證 (OAuth)","composer.mcpStatus.authToken":"已通過驗證（API 金鑰）","composer.mcpStatus.authUnsupported":"STDIO","composer.mcpStatus.close":"關閉","composer.mcpStatus.disabled":"已停用","composer.mcpStatus.emptyLabel":"伺服器：","composer.mcpStatus.emptyValue":"未設定任何 MCP 伺服器","composer.mcpStatus.enabled":"已啟用","composer.mcpStatus.errorLabel":"狀態：","composer.mcpStatus.errorValue":"無法載入 MCP 狀態","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"智能代理","composer.mode.agentMode.auto.dropdownLabel":"智能代理","composer.mode.agentMode.auto.optionLabel":"智能代理","composer.mode.agentMode.changePermission":"切換模式","composer.mode.agentMode.custom":"自訂","composer.mode.agentMode.custom.dropdownLabel":"自訂","composer.mode.agentMode.custom.option":"自訂 (config.toml)","composer.mode.agentMode.custom.optionLabel":"自訂 (config.toml)","composer.mode.agentMode.customInfo.cancel":"取消","composer.mode.agentMode.customInfo.cli":"你可以從 CLI 調整該些設定，也可以直接編輯檔案。","composer.mode.agentMode.customInfo.confirm":"使用自訂模式","composer.mode.agentMode.customInfo.description":"自訂模式會套用你在 <link>config.toml</link> 檔案中所訂定的審批及沙盒政策。","composer.mode.agentMode.customInfo.docs":"如需進一步了解如何配置審批及沙盒政策，請查閱<link>執行環境參考指南</link>。","composer.mode.agentMode.customInfo.refresh":"任何變更將於下次執行智能代理時生效。","composer.mode.agentMode.customInfo.title":"自訂模式的運作方式","composer.mode.agentMode.fullAccess":"智能代理（完整存取權）","composer.mode.agentMode.fullAccess.dropdownLabel":"智能代理（完整存取權）","composer.mode.agentMode.fullAccess.optionLabel":"智能代理（完整存取權）","composer.mode.agentMode.fullAccessConfirm.caution":"啟用完整存取權將大幅增加資料遺失、洩漏或意外行為的風險，因此請慎重決定是否啟用。","composer.mode.agentMode.fullAccessConfirm.confirm":"是，繼續","composer.mode.agentMode.fullAccessConfirm.description":"如在擁有完整存取權的情況下運行， Codex 將可編輯你電腦上的任何檔案，並可在未經你同意的情況下，透過網絡執行指令。","composer.mode.agentMode.fullAccessConfirm.goBack":"取消","composer.mode.agentMode.fullAccessConfirm.title":"啟用完整存取權？","composer.mode.agentMode.readOnly":"聊天","composer.mode.agentMode.readOnly.dropdownLabel":"聊天","composer.mode.agentMode.readOnly.optionLabel":"聊天","composer.mode.agentMode.tooltip":"切換模式","composer.mode.agentMode.tooltip.auto":"讀取和編輯檔案，以及執行指令。","composer.mode.agentMode.tooltip.custom":"使用 config.toml 中所訂定的最新審批及沙盒政策。","composer.mode.agentMode.tooltip.fullAccess":"如擁有網絡存取權限，Codex 可編輯此項目以外的檔案，以及執行指令；使用時請保持謹慎。","composer.mode.agentMode.tooltip.readOnly":"需要核准才能編輯檔案和執行指令","composer.mode.cloud.tooltip":"在雲端環境工作","composer.mode.contactAdmin":"如需進一步的存取權限，請向你的管理員提出申請","composer.mode.local":"本機","composer.mode.local.learnMore":"了解詳情","composer.mode.local.model.custom":"自訂","composer.mode.local.model.loadingModel":"正在載入模型","composer.mode.local.model.selecrReasoningEffort":"選擇推理模式","composer.mode.local.model.selectModel":"選擇模型","composer.mode.local.model.tooltip":"選擇模型","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"高","composer.mode.local.reasoning.low.label":"低","composer.mode.local.reasoning.medium.label":"中","composer.mode.local.reasoning.minimal.label":"最少","composer.mode.local.reasoning.none.label":"無","composer.mode.local.reasoning.xhigh.label":"極高","composer.mode.localRemoteWhereRun":"選擇任務執行位置","composer.mode.newTask.header":"繼續模式：","composer.mode.rateLimit.day":"{days} 日","composer.mode.rateLimit.heading":"剩餘的用量限額","composer.mode.rateLimit.hour":"{hours} 小時","composer.mode.rateLimit.minute":"{minutes} 分","composer.mode.rateLimit.modelSectionLabel":"{modelName} 限制：","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} 週限額}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} 週}}","composer.mode.remote.connectToCloud":"連接 Codex Web","composer.mode.remote.connectToCloudDisabledTooltip":"透過 Codex Web 設定環境，以容許將任務傳送至雲端","composer.mode.remote.selectEnvironment":"選取環境","composer.mode.remote.sendToCloud":"傳送至雲端","composer.mode.remote.setupViaWeb":"透過 Codex Web 設定環境","composer.mode.runInCloud":"雲端","composer.mode.runInCloudWithEnvironment":"雲端 · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"在雲端環境工作","composer.mode.segmentedToggle.local.tooltip":"在本機項目中工作","composer.mode.segmentedToggle.worktree.tooltip":"在平行工作樹工作","composer.mode.upgradeToPlus":"升級至 Plus","composer.mode.upgradeToPro":"升級至 Pro","composer.mode.workLocally":"本機項目","composer.mode.workLocally.currentBranchFallback":"你的分支","composer.mode.workLocally.tooltip":"在 {branchName} 工作","composer.mode.worktree":"新增工作樹","composer.mode.worktree.submoduleWarning":"此儲存庫設有子模組；工作樹建立流程或無法完成","composer.mode.worktree.tooltip":"建立本機項目副本以並行工作","composer.mode.worktreeSegment":"工作樹","composer.modelChangeDuringConversationWarning.toast":"在對話期間更換模型將導致效能表現下降。","composer.newChat.heading.browser":"接下來要寫什麼程式？","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex 會使用 config.toml 中所定義的權限。","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex 擁有你電腦的完整存取權（較高風險）","composer.permissionsDropdown.custom.label":"自訂 (config.toml)","composer.permissionsDropdown.custom.optionLabel":"自訂 (config.toml)","composer.permissionsDropdown.default.label":"預設權限","composer.permissionsDropdown.default.optionLabel":"預設權限","composer.permissionsDropdown.default.tooltip":"Codex 將在沙盒內自動執行指令","composer.permissionsDropdown.disabled.requirements":"權限由 requirements.toml 鎖定","composer.permissionsDropdown.fullAccess.disabled":"完整存取模式已由 requirements.toml 停用","composer.permissionsDropdown.fullAccess.label":"完整存取權","composer.permissionsDropdown.fullAccess.optionLabel":"完整存取權","composer.permissionsDropdown.trigger.tooltip":"更改權限","composer.personalitySlashCommand.description.friendly":"友善、善於協作、樂於助人","composer.personalitySlashCommand.description.pragmatic":"簡明扼要、任務為本、直截了當","composer.personalitySlashCommand.label.friendly":"友善","composer.personalitySlashCommand.label.pragmatic":"務實","composer.personalitySlashCommand.notApplicableSuffix":"（不會套用至當前模型）","composer.personalitySlashCommand.title":"個性","composer.placeholder.cloudFollowUp.directFollowUp":"跟進此雲端任務","composer.placeholder.cloudFollowUp.local":"建立參考此雲端任務的新本機任務","composer.placeholder.cloudFollowUp.workingTree":"建立包括目前的程式碼並參考此任務的新雲端任務","composer.placeholder.localFollowUp.cloud":"在新的雲端任務中跟進","composer.placeholder.localFollowUp.locally":"要求進行後續變更","composer.placeholder.newTask.cloud":"請 Codex 在雲端處理任何工作","composer.placeholder.newTask.doAnything":"請 Codex 處理任何工作","composer.placeholder.newTask.locally":"問 Codex 任何問題，輸入「@」即可添加檔案，輸入「/」則可執行指令","composer.planModeDropdown":"計劃模式","composer.planModeDropdown.ariaLabel":"計劃模式","composer.planModeIndicator":"計劃","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"使用 Codex 擬定計劃","composer.planModeIndicator.tooltipToggle":"以切換","composer.planSlashCommand.disableDescription":"停用計劃模式","composer.planSlashCommand.enableDescription":"啟用計劃模式","composer.planSlashCommand.title":"計劃模式","composer.priorContext.label":"上一個情境","composer.priorContext.removeAriaLabel":"移除上一個情境","composer.queuedMessage.delete":"刪除已加入佇列的訊息","composer.queuedMessage.edit":"編輯訊息","composer.queuedMessage.more":"已加入佇列訊息操作","composer.queuedMessage.sendNow":"引導","composer.queuedMessage.sendNowTooltip":"在不影響工作的情況下立即傳送","composer.queuedMessage.turnOff":"停用佇列","composer.reasoningEffort.local.reasoning.tooltip":"選擇推理力度","composer.remote.branchStartingPoint":"此任務應從哪個分支作為起點？","composer.remote.branchesSectionHeading":"分支","composer.remote.currentEditsSuffix.followUp":"建立參考此雲端任務的新任務。","composer.remote.currentEditsSuffix.useLocal":"包含本機程式碼變更","composer.remote.directFollowUp":"切勿使用本機變更","composer.remote.errorLoadingBranches":"載入分支時發生錯誤","composer.remote.fromBranch":"來自 {branch}","composer.remote.fromCurrentBranch":"來自分支 {branch}（目前使用中）","composer.remote.loadingMoreBranches":"正在載入…","composer.remote.localFileStateHeading":"本機檔案狀態","composer.remote.localWorkingTree":"使用本機變更","composer.remote.startingPoint":"此任務應從哪個程式碼作為起點？","composer.reviewMode.branches.error":"無法載入分支","composer.reviewMode.branches.retry":"重試","composer.reviewMode.gitRoot.error":"找不到 Git 根目錄","composer.reviewMode.option.baseBranch.simple":"根據基本分支進行審核","composer.reviewMode.option.unstaged.simple":"審核未提交的變更","composer.reviewMode.quickReviewError":"無法開始程式碼審核。","composer.reviewMode.title":"程式碼審核","composer.sandboxButton.unlock.disabled.tooltip":"完整存取模式已由 requirements.toml 停用","composer.sandboxButton.windowsSandboxDialog.content":"Codex 可在 Windows 上使用實驗版沙盒來限制檔案系統及網絡存取。{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"啟用 Windows 沙盒？","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"使用唯讀模式","composer.searchEnvironments":"搜尋環境","composer.skillMentionList.app":"應用程式","composer.skillMentionList.appLogoAlt":"{name} 標誌","composer.skillMentionList.loading":"正在載入技能…","composer.skillMentionList.noResults":"查無技能","composer.slashCommands.cloudEnvironment.title":"雲端環境","composer.slashCommands.dialogLabel":"斜線指令選單","composer.slashCommands.dialogTitle":"斜線指令","composer.slashCommands.disabledTooltip":"展開新對話以使用斜線指令","composer.slashCommands.inputPlaceholder":"搜尋","composer.slashCommands.noResults":"沒有相符指令","composer.slashCommands.skillsGroup":"技能","composer.slashCommands.tooltip":"瀏覽斜線指令","composer.status.close":"關閉","composer.statusPlain.alertLabel":"警報：","composer.statusPlain.alertValue":"{window}尚餘 {remaining}%","composer.statusPlain.contextLabel":"情境：","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"（已使用 {used} / {total}）","composer.statusPlain.contextValueRemaining":"剩餘 {remaining}%","composer.statusPlain.heading":"狀態","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} 限制：","composer.statusPlain.rateLimitDays":"{count} 日限額","composer.statusPlain.rateLimitFallbackLabel":"速率限額：","composer.statusPlain.rateLimitHours":"{count} 小時限額","composer.statusPlain.rateLimitLabelBase":"速率限額","composer.statusPlain.rateLimitMinutes":"{count} 分鐘限額","composer.statusPlain.rateLimitPercent":"剩餘 {remaining}%","composer.statusPlain.rateLimitReset":"將於 {time} 重設","composer.statusPlain.rateLimitResetMetadata":"（{phrase}）","composer.statusPlain.rateLimitResetUnknown":"重設時間不詳","composer.statusPlain.rateLimitUnavailable":"無法提供","composer.statusPlain.sessionCopiedAriaLabel":"已複製工作階段 ID","composer.statusPlain.sessionCopiedTooltip":"已複製 ID","composer.statusPlain.sessionCopyAriaLabel":"複製工作階段 ID","composer.statusPlain.sessionCopyTooltip":"複製 ID","composer.statusPlain.sessionLabel":"工作階段：","composer.statusSlashCommand.description":"顯示對話串 ID、情境用量和速率限額","composer.statusSlashCommand.title":"狀態","composer.submit.blockedDialogOk":"確認","composer.submit.blockedDialogTitle":"無法傳送訊息","composer.submit.emptyMessage":"輸入訊息以開始使用","composer.submit.imageInputsUnsupported":"移除圖像或切換模型以傳送此訊息。","composer.submit.loadingLocalConfig":"正在載入…","composer.submit.missingCloudConfig":"你必須選擇一個雲端環境","composer.submit.missingCloudTurn":"無法跟進此任務","composer.submit.noWorkspace":"新增項目以使用 Codex","composer.submit.waitForImageUploads":"圖像上傳中…","composer.submitButtonTooltip.send":"傳送","composer.submitButtonTooltip.stop":"停止","composer.worktreeEnvironment.create":"建立本機環境","composer.worktreeEnvironment.default":"預設環境","composer.worktreeEnvironment.error":"載入環境時發生錯誤","composer.worktreeEnvironment.loading":"正在載入環境…","composer.worktreeEnvironment.title":"本機環境","composer.worktreeEnvironment.tooltip":"選擇本機環境","composer.worktreeSetupFailed":"Worktree 設定未能完成，請於 .codex/environments 檢查設定指令碼。","compoundButton.secondaryAction":"次要行動","copyButton.copied":"已複製","copyButton.copiedAriaLabel":"已複製","copyButton.copy":"複製","copyButton.copyAriaLabel":"複製","copyButton.copyCode":"複製代碼","diff.actionButton.revertFile":"復原檔案","diff.actionButton.revertHunk":"恢復","diff.actionButton.revertSection":"復原全部","diff.actionButton.revertSectionLabel":"復原全部","diff.actionButton.stageFile":"暫存檔案","diff.actionButton.stageHunk":"暫存","diff.actionButton.stageSection":"暫存全部","diff.actionButton.stageSectionLabel":"暫存全部","diff.actionButton.unstageFile":"取消暫存檔案","diff.actionButton.unstageHunk":"未暫存","diff.actionButton.unstageSection":"取消暫存全部","diff.actionButton.unstageSectionLabel":"取消暫存全部","diff.fileHeader.toggle":"切換檔案差異","electron.onboarding.login.apikey.cancel":"取消","electron.onboarding.login.apikey.continue":"繼續","electron.onboarding.login.apikey.label":"OpenAI API 金鑰","electron.onboarding.login.apikey.open":"輸入 API 金鑰","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"取消登入","electron.onboarding.login.chatgpt.continue":"繼續使用 ChatGPT","electron.onboarding.login.devbox":"連線至遠端 SSH","electron.onboarding.login.error":"登入失敗：{rawMessage}","electron.onboarding.login.snake.start":"玩貪食蛇","electron.onboarding.login.sshConfig.cancel":"取消","electron.onboarding.login.sshConfig.continue":"繼續","electron.onboarding.login.sshConfig.hostnameLabel":"SSH 主機名稱","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"使用智能代理建構的最佳方式","electron.onboarding.login.title":"歡迎使用 Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"繼續","electron.onboarding.welcome.doubleLimits.description":"為慶祝 Codex 應用程式推出，由即日起至 4 月 2 日期間，我們將提供 2 倍速率限額。","electron.onboarding.welcome.freego.description":"由即日起至 3 月 2 日，你的計劃將免費包括 Codex，齊來攜手開始構建！","electron.onboarding.welcome.new.title.anon":"歡迎！","electron.onboarding.workspace.continue":"繼續","electron.onboarding.workspace.empty":"新增項目以繼續。","electron.onboarding.workspace.listLabel":"可用項目","electron.onboarding.workspace.loading":"正在載入項目…","electron.onboarding.workspace.openFolder":"新增項目","electron.onboarding.workspace.selectAll":"全選","electron.onboarding.workspace.skip":"略過","electron.onboarding.workspace.skip.error":"無法建立新項目：{message}","electron.onboarding.workspace.skip.error.unknown":"未知錯誤","electron.onboarding.workspace.skipping":"正在建立新項目…","electron.onboarding.workspace.subtitle":"Codex 將可在選定的資料夾中編輯檔案和執行指令。","electron.onboarding.workspace.title":"選取項目","errorPage.list.checkSettings":"嘗試更新你的 IDE 設定","errorPage.list.configToml":"檢查 config.toml 中的無效設定","errorPage.list.downloadExtension":"嘗試下載該擴充功能的其他版本","errorPage.list.runInWsl":"如發現兼容問題，請檢查設定以停用在 WSL 中執行的選項。","execApprovalRequest.menu.runAlways":"是，請勿在此工作階段再次詢問","execApprovalRequest.menu.runAlwaysWithAmendment":"是，請勿就以 {command} 開始的指令再次詢問","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"是，請勿就以 ","execApprovalRequest.menu.runOnce":"是","execApprovalRequest.prompt":"你是否希望執行此指令？","execApprovalRequest.reject":"否","execFooter.exitCode":"退出碼 {code}","execFooter.exitCode.unknown":"未知","execFooter.success":"成功","feedback.dialog.category.badResult":"欠佳結果","feedback.dialog.category.bug":"錯誤","feedback.dialog.category.goodResult":"優良結果","feedback.dialog.category.other":"其他","feedback.dialog.category.safetyCheck":"安全檢查","feedback.dialog.descriptionPlaceholder":"請在此處描述問題","feedback.dialog.dismiss":"略過","feedback.dialog.includeLogsLabel":"包括當前 Codex 工作階段的記錄","feedback.dialog.submit":"提交","feedback.dialog.submitError":"無法提交你的反饋，請稍後重試。","feedback.dialog.title":"反饋","feedback.dialog.uploadedMessage.existingIssue":"現有的未解決問題","feedback.dialog.uploadedMessage.openIssue":"在 GitHub 提交問題報告","feedback.dialog.uploadedMessage.withThread":"已上傳反饋。如果問題持續，請{openIssueLink}或在{existingIssueLink}中提及對話串 ID：","feedback.dialog.uploadedTitle":"已上載反饋","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"移除 {filename}","header.back":"返回","header.recentChats":"任務","header.recentTasks.seeAll":"查看全部 ({total} 項)","home.header.getPlus":"取得 Plus","home.hero.letsBuild":"來一起構建","homePage.mainContent":"主要內容","imageAttachment.defaultName":"圖像","imageAttachment.preview.close":"關閉圖像預覽","imageAttachment.removeAriaLabel":"移除 {filename}","implementPlanRequest.option.implement":"是，實行此計劃","implementPlanRequest.prompt":"實行此計劃？","inbox.archived.deleteError":"無法刪除已封存的執行程序","inbox.archived.deleteRun":"刪除已封存的執行程序","inbox.archived.deleteSuccess":"已刪除對話串存檔。請在<settingsLink>對話串封存</settingsLink>中查看。","inbox.archived.inlineLabel.auto":"此對話串將自動封存。<learnMoreLink>了解詳情</learnMoreLink>","inbox.archived.inlineLabel.manual":"此對話串已封存。","inbox.archived.noMessageFound":"查無訊息","inbox.automations.createError":"無法建立自動化任務","inbox.automations.deleteConfirm.cancel":"取消","inbox.automations.deleteConfirm.confirm":"刪除自動化程序","inbox.automations.deleteConfirm.description":"此操作將永久刪除這個自動化程序，並停止該程序在日後執行。","inbox.automations.deleteConfirm.title":"刪除 {name}？","inbox.automations.deleteError":"無法刪除自動化程序","inbox.automations.editTooltip":"編輯自動化程序","inbox.automations.inProgress":"處理中","inbox.automations.new":"新","inbox.automations.newToolbar":"新增自動化程序","inbox.automations.pauseTooltip":"暫停自動化程序","inbox.automations.resumeTooltip":"恢復自動化程序","inbox.automations.startingNow":"正在開始","inbox.automations.startsIn":"將於 {startTime}後開始","inbox.automations.status.active":"使用中","inbox.automations.status.paused":"已暫停","inbox.automations.status.runs":"已執行 {count} 次","inbox.automations.status.started":"開始時間：{date}","inbox.automations.updateError":"無法更新自動化程序","inbox.automations.workspaceFallback":"-","inbox.filter.all":"全部","inbox.filter.ariaLabel":"篩選收件箱項目","inbox.filter.unread":"未讀","inbox.list.archived":"已封存","inbox.list.inProgress":"處理中","inbox.list.recent":"已完成","inbox.list.upNext":"已排程","inbox.mode.automations":"自動化程序","inbox.mode.automations.beta":"測試版","inbox.noDescription":"沒有提供描述","inbox.openThread":"開啟對話串","inbox.rightPanel.emptySubtitle":"建立排定任務，將工作流程自動化","inbox.rightPanel.emptySubtitle.learnMore":"建立排定對話串，將工作流程自動化。<link>了解詳情</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# 個生效中的自動化程序}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"沒有未讀的自動化程序","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# 個未讀的自動化程序}}","inbox.rightPanel.emptyTitle":"未選取任何項目","inbox.rightPanel.noThread":"此項目無對話串","inbox.rightPanel.quickStart.header":"使用範本開始","inbox.untitled":"無標題收件箱項目","loadingPage.documentationLink":"說明文件","loadingPage.errorDescription":"Codex 發生故障，錯誤如下：","loadingPage.errorDescription.documentation":"按一下以重新啟動 Codex 擴充功能，或查閱我們的{documentationLink}以取得進一步協助。","loadingPage.errorSignal":"不妨試試：","loadingPage.errorTitle":"發生錯誤","loadingPage.openConfigToml":"開啟 Config.toml","loadingPage.reload":"重新載入","localConversation.contextCompacted":"已自動縮小情境","localConversation.contextCompacting":"自動縮小情境","localConversation.finalAssistantMessageDivider":"最終訊息","localConversation.forkedFromConversation":"分支複製自「{threadTitle}」","localConversation.merge.autoResolve.failed":"自動解決請求未能完成：{error}","localConversation.merge.autoResolve.sent":"已傳送自動解決請求","localConversation.merge.autoResolveMerge.missingConversation":"沒有進行中對話時無法自動解決衝突。","localConversation.merge.autoResolveMerge.request":"自動解決合併衝突","localConversation.modelChanged":"模型已從 {fromModel} 變為 {toModel}。","localConversation.modelChanged.warning.line1":"在對話期間更換模型將導致效能表現下降。","localConversation.modelChanged.warning.line2":"上下文或會自動縮小。","localConversation.modelRerouted":"請求已路由至 {toModel}。","localConversation.modelRerouted.warning.line1":"請注意，你的請求已重新路由以降低網絡濫用風險。","localConversation.modelRerouted.warning.line2":"認為此決定有誤？請於 <link>chatgpt.com/cyber 提交審核申請</link>或透過 /feedback 報告","localConversation.moveThread.createBranch.label":"建立分支","localConversation.moveToLocal.disabled.branchCheckedOut":"分支已在其他工作樹檢出","localConversation.moveToLocal.disabled.loading":"正在載入…","localConversation.moveToLocal.disabled.missingSourceHead":"無法解決工作樹 HEAD 提交問題","localConversation.moveToLocal.disabled.noWorkspace":"查無此工作樹的本機工作區","localConversation.moveToLocal.error.fork":"{message}","localConversation.moveToLocal.error.move":"{message}","localConversation.moveToLocal.error.prerequisites":"目前無法移動，請檢查本機工作樹狀態，然後重試。","localConversation.moveToLocal.error.rollbackIssues":"回捲問題： {issues}","localConversation.moveToLocal.label":"移至本機","localConversation.moveToLocal.loading.subtitle":"正在將工作樹變更移至本機…","localConversation.moveToLocal.loading.title":"正在移至本機","localConversation.moveToLocal.modal.continue":"繼續","localConversation.moveToLocal.modal.destinationLabel":"移至","localConversation.moveToLocal.modal.retry":"重試","localConversation.moveToLocal.modal.subtitle":"此工作樹分支與未提交的變更將移回本機的檢出內容。","localConversation.moveToLocal.modal.title":"移至本機","localConversation.moveToWorktree.error.branchRequired":"必須提供工作樹分支名稱","localConversation.moveToWorktree.error.createWorktree":"無法建立工作樹：{message}","localConversation.moveToWorktree.error.move":"無法移至工作樹：{message}","localConversation.moveToWorktree.error.prepareBranch":"無法準備工作樹分支「{branch}」：{message}","localConversation.moveToWorktree.error.rollbackIssues":"回捲問題： {issues}","localConversation.moveToWorktree.error.unknown":"無法移至工作樹，請重試。","localConversation.moveToWorktree.label":"移至工作樹","localConversation.moveToWorktree.loading.subtitle":"正在設定工作樹及移動本機變更…","localConversation.moveToWorktree.loading.title":"正在移至工作樹","localConversation.moveToWorktree.modal.back":"返回","localConversation.moveToWorktree.modal.branchAlreadyExists":"分支已存在","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"分支已存在。","localConversation.moveToWorktree.modal.branchesError":"無法載入分支","localConversation.moveToWorktree.modal.branchesLoading":"正在載入分支…","localConversation.moveToWorktree.modal.branchesRetry":"重試","localConversation.moveToWorktree.modal.continue":"繼續","localConversation.moveToWorktree.modal.defaultBranchError":"工作樹分支必須與預設分支不同。","localConversation.moveToWorktree.modal.localBranchLabel":"本機分支","localConversation.moveToWorktree.modal.localBranchPlaceholder":"選取本機檢出分支","localConversation.moveToWorktree.modal.noTargetBranch":"沒有其他本機分支可以使用","localConversation.moveToWorktree.modal.retry":"重試","localConversation.moveToWorktree.modal.subtitle":"此分支及所有未提交的變更將移至工作樹。你必須從本機的相應位置檢出其他分支。","localConversation.moveToWorktree.modal.subtitle.createNewWorktree":"Codex 將為此對話串建立新工作樹。","localConversation.moveToWorktree.modal.subtitle.defaultBranch":"選擇工作樹分支名稱。Codex 將使用該分支，而非預設分支。","localConversation.moveToWorktree.modal.subtitle.loading":"正在尋找現有的工作樹…","localConversation.moveToWorktree.modal.subtitle.noLocalSwitch":"此分支將移至工作樹。當前的本機分支將維持檢出狀態。","localConversation.moveToWorktree.modal.subtitle.reuseExistingWorktree":"Codex 將就此對話串重用現有的工作樹。","localConversation.moveToWorktree.modal.title":"移至工作樹","localConversation.moveToWorktree.modal.trailingSlashError":"分支名稱不能以「/」結尾。","localConversation.moveToWorktree.modal.worktreeBranchAriaLabel":"工作樹分支名稱","localConversation.moveToWorktree.modal.worktreeBranchLabel":"工作樹分支","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"新分支","localConversation.personalityChanged":"切換至{personality}個性","localConversation.planSummary.collapse":"收起計劃摘要","localConversation.planSummary.collapseTooltip":"收起","localConversation.planSummary.download":"下載計劃","localConversation.planSummary.expand":"展開計劃摘要","localConversation.planSummary.expandTooltip":"展開","localConversation.planSummary.openInNewWindow":"開啟","localConversation.planSummary.openInNewWindow.tooltip":"在新視窗開啟","localConversation.planSummary.title":"計劃","localConversation.planSummary.titleWriting":"撰寫計劃","localConversation.planSummary.viewPlan":"展開計劃","localConversation.previousMessagesSummary":"{count, plural, other {先前的 # 則訊息}}","localConversation.remoteTaskCreated":"已在 Codex Cloud 中建立{taskLink}","localConversation.remoteTaskCreated.task":"任務","localConversation.scrollToBottomButton":"捲動到底部","localConversation.sync.buttonLabel":"交由本機接手","localConversation.sync.buttonLabel.tooltip":"交接此工作區與本機檢出內容之間的變更。","localConversation.sync.modal.loading.title":"正在交接變更…","localConversation.sync.modal.noChanges":"沒有變更","localConversation.syncSetup.branchAriaLabel":"分支名稱","localConversation.syncSetup.branchName":"分支名稱","localConversation.syncSetup.branchPlaceholder.existing":"選取現有分支","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"正在載入分支…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"已檢出","localConversation.syncSetup.checkoutClean":"目前位置：{branchName}","localConversation.syncSetup.checkoutDirty":"{branchName} 上目前有未提交的變更","localConversation.syncSetup.checkoutError":"無法檢出分支：{message}","localConversation.syncSetup.checkoutLabel":"立即在本機檢出","localConversation.syncSetup.checkoutOnLocal":"交由本機接手","localConversation.syncSetup.checkoutPending":"正在檢查本機狀態…","localConversation.syncSetup.checkoutUnavailable":"本機工作區無法使用","localConversation.syncSetup.checkoutUnknown":"本機分支無法使用","localConversation.syncSetup.continue":"繼續","localConversation.syncSetup.createBranchError":"無法設定接手分支：{message}","localConversation.syncSetup.error":"發生問題：{message}","localConversation.syncSetup.error.workingTreeMissing":"無法為工作樹拍攝快照，請重新嘗試交接。","localConversation.syncSetup.mode.ariaLabel":"選取分支模式","localConversation.syncSetup.mode.existing":"現有分支","localConversation.syncSetup.mode.new":"新分支","localConversation.syncSetup.noBranches":"找不到任何分支","localConversation.syncSetup.overwriteError":"分支已建立但尚未完全完成交接。請在本機檢出前手動交接。","localConversation.syncSetup.setPrefix":"設定前綴","localConversation.syncSetup.subtitle":"在本機測試和編輯工作樹變更。<a>了解詳情</a>","localConversation.syncSetup.success.checkedOut":"已在本機建立並檢出分支","localConversation.syncSetup.success.notCheckedOut":"已建立分支","localConversation.syncSetup.title":"交由本機分支接手","localConversation.syncWorktreeError.branchAriaLabel":"分支名稱","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"選擇分支以進行交接，然後重新嘗試載入變更。","localConversation.syncWorktreeError.branchSetup.title":"更新分支","localConversation.syncWorktreeError.branchUpdate.cta":"更新並重試","localConversation.syncWorktreeError.branchUpdate.error":"無法更新分支：{message}","localConversation.syncWorktreeError.branchUpdate.unknown":"發生問題：{message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"分支尚未從任何工作樹檢出。","localConversation.syncWorktreeV2.applyUncommitted":"套用","localConversation.syncWorktreeV2.applyUncommitted.disabled":"必須在本機檢出分支，方能套用未提交的變更","localConversation.syncWorktreeV2.branches.empty":"找不到任何分支","localConversation.syncWorktreeV2.branches.loading":"正在載入分支…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"更改接手分支","localConversation.syncWorktreeV2.changeBranch.error":"無法設定接手分支：{message}","localConversation.syncWorktreeV2.commandError.action.apply":"無法套用","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"無法覆蓋工作樹","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"無法覆蓋本機","localConversation.syncWorktreeV2.commandError.back":"返回","localConversation.syncWorktreeV2.commandError.body":"交接期間，特定 Git 指令未能完成。請查看輸出內容，然後重試。","localConversation.syncWorktreeV2.commandError.retry":"重試","localConversation.syncWorktreeV2.description":"在本機與此工作樹之間交接變更<a>了解詳情</a>。","localConversation.syncWorktreeV2.direction.ariaLabel":"選取交接方向","localConversation.syncWorktreeV2.error.generic":"交接時出錯，請重試。","localConversation.syncWorktreeV2.localBranchLabel":"本機","localConversation.syncWorktreeV2.noChanges":"正在計算變更","localConversation.syncWorktreeV2.noChanges.summary":"沒有變更","localConversation.syncWorktreeV2.overwrite.local":"覆蓋本機","localConversation.syncWorktreeV2.overwrite.worktree":"覆蓋工作樹","localConversation.syncWorktreeV2.partial.action.applyFailed":"無法套用變更","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"無法覆蓋本機變更","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"無法覆蓋工作樹變更","localConversation.syncWorktreeV2.partial.appliedLabel":"已套用","localConversation.syncWorktreeV2.partial.back":"返回","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"解決衝突並重試。","localConversation.syncWorktreeV2.partial.conflictsLabel":"衝突","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# 個檔案}}","localConversation.syncWorktreeV2.partial.retry":"重試","localConversation.syncWorktreeV2.partial.skippedLabel":"已略過","localConversation.syncWorktreeV2.stateFailed.generic":"擷取工作樹變更以進行交接時出錯，請重試。","localConversation.syncWorktreeV2.stateFailed.title":"無法載入工作樹變更","localConversation.syncWorktreeV2.statusError.diffUnknown":"無法載入工作樹變更。","localConversation.syncWorktreeV2.statusError.retry":"重試","localConversation.syncWorktreeV2.statusError.title":"無法載入本機分支變更","localConversation.syncWorktreeV2.statusError.unknown":"目前無法提供分支狀態，請重試。","localConversation.syncWorktreeV2.success.apply":"成功套用變更","localConversation.syncWorktreeV2.success.overwrite":"交接成功","localConversation.syncWorktreeV2.title":"交接變更","localConversation.syncWorktreeV2.worktreeLabel":"工作樹","localConversation.userInputRequest.inProgress":"正在等待{count, plural, other {個問題}}輸入","localConversation.userInputRequest.noAnswer":"尚未提供答案","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"已詢問","localConversation.userInputRequest.summary.count":"{count, plural, other {# 個問題}}","localConversation.workedFor":"已工作 {time}","localConversation.worktreeBranchSetup.action.create":"建立","localConversation.worktreeBranchSetup.branchAriaLabel":"分支名稱","localConversation.worktreeBranchSetup.branchPlaceholder.new":"建立新分支","localConversation.worktreeBranchSetup.checkoutDisabled":"此分支已在 {location} 檢出","localConversation.worktreeBranchSetup.checkoutError":"無法檢出分支：{message}","localConversation.worktreeBranchSetup.createBranchError":"無法設定分支：{message}","localConversation.worktreeBranchSetup.error":"發生問題：{message}","localConversation.worktreeBranchSetup.subtitle":"建立分支以從此工作樹提交變更、推送和建立 PR。<a>了解詳情</a>","localConversation.worktreeBranchSetup.title":"在此處工作","localConversationPage.addWorktreeToSidebar.tooltip":"另存為項目，以便從此工作樹開始新對話串","localConversationPage.addWorktreeToSidebarError":"無法新增項目","localConversationPage.commitAndCreatePrModal.errorTitle":"無法提交和建立 PR","localConversationPage.commitAndCreatePrModal.successTitle":"已提交並建立 PR","localConversationPage.commitAndPushModal.errorTitle":"無法提交和推送","localConversationPage.commitAndPushModal.successTitle":"已提交並推送變更","localConversationPage.commitCreatePr.open":"開啟拉取請求","localConversationPage.commitCreatePr.successTitle":"已使用最新的變更建立 PR","localConversationPage.createBranchButtonLabel":"在此分支","localConversationPage.createPrModal.baseBranch":"基底","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"建立 PR","localConversationPage.createPrModal.createDescription":"為你的最新變更開啟拉取請求。","localConversationPage.createPrModal.errorTitle":"拉取請求未能完成","localConversationPage.createPrModal.headBranch":"標頭","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"開啟 PR","localConversationPage.createPrModal.successTitle":"已建立拉取請求","localConversationPage.createPrModal.title":"建立拉取請求","localConversationPage.createPrModal.viewDescription":"此分支已有特定拉取請求。","localConversationPage.createPrModal.viewTitle":"拉取請求準備就緒","localConversationPage.createPullRequestAuthGh":"驗證 GitHub CLI：執行「gh auth login」","localConversationPage.createPullRequestBranchMissing":"分支資訊無法查看","localConversationPage.createPullRequestButtonLabel":"建立 PR","localConversationPage.createPullRequestButtonLabel.loading":"正在建立 PR…","localConversationPage.createPullRequestDefaultBranchMissing":"預設分支資訊無法查看","localConversationPage.createPullRequestError":"無法建立拉取請求","localConversationPage.createPullRequestExistingPullRequest":"此分支已有特定拉取請求","localConversationPage.createPullRequestGhStatusMissing":"正在載入 GitHub CLI 狀態…","localConversationPage.createPullRequestInstallGh":"安裝 GitHub CLI (gh) 以建立 PR","localConversationPage.createPullRequestNoRepo":"找不到 git 儲存庫","localConversationPage.createPullRequestPushStatusMissing":"正在載入推送狀態…","localConversationPage.createPullRequestSetUpstream":"建立 PR 前推送此分支","localConversationPage.createPullRequestSuccessToast":"已建立拉取請求","localConversationPage.createPullRequestSwitchBranch":"建立 PR 前需切換到功能分支","localConversationPage.error.render":"渲染本機對話時發生錯誤","localConversationPage.error.toast":"找不到對話","localConversationPage.forcePushError":"無法強行推送","localConversationPage.generatePullRequestMessageError":"無法生成拉取請求標題及內文。","localConversationPage.generatePullRequestMessageFailed":"無法生成拉取請求標題及內文。","localConversationPage.gitActionResult.branch":"分支","localConversationPage.gitActionResult.cancel":"取消","localConversationPage.gitActionResult.close":"關閉","localConversationPage.gitActionResult.tryAgain":"重試","localConversationPage.gitActions":"Git 行動","localConversationPage.newChat":"新對話","localConversationPage.openInTarget":"開啟途徑：","localConversationPage.openPrimaryTarget":"開啟","localConversationPage.planItemsCompleted":"共 {totalItems, plural, other {# 項任務}}，已完成 {completedItems} 項","localConversationPage.pushAuthError":"推送失敗：需要驗證","localConversationPage.pushBranchMissing":"分支資訊無法查看","localConversationPage.pushButtonLabel":"推送","localConversationPage.pushButtonLabel.loading":"正在推送…","localConversationPage.pushError":"無法推送變更","localConversationPage.pushModal.branchLabel":"分支","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"取消","localConversationPage.pushModal.confirm":"推送","localConversationPage.pushModal.description":"將最新的提交內容推送至遠端儲存庫。","localConversationPage.pushModal.errorTitle":"無法推送","localConversationPage.pushModal.forcePush":"強行推送","localConversationPage.pushModal.successTitle":"推送完成","localConversationPage.pushModal.title":"推送變更","localConversationPage.pushModal.tryAgain":"重試","localConversationPage.pushNoUpstream":"推送此分支前設立上游分支","localConversationPage.pushNoUpstreamError":"推送失敗：未設定上游分支","localConversationPage.pushNothingToPush":"沒有新的提交需要推送","localConversationPage.pushRemoteChangedError":"推送失敗：遠端有新提交","localConversationPage.pushRemoteRejectedError":"遠端已拒絕推送","localConversationPage.pushStatusMissing":"正在載入推送狀態…","localConversationPage.pushSuccessToast":"已推送變更","localConversationPage.viewPullRequestButtonLabel":"查看 PR","localConversationPage.viewPullRequestButtonLabel.loading":"正在載入拉取請求…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# 個檔案}} </countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# 個清單}} </countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# 個搜尋}} </countText>","localConversationTurn.exploration.accordion.count.separator":"，","localConversationTurn.exploration.accordion.header.active":"正在探索","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"已探索","localConversationTurn.exploration.accordion.header.complete.withCounts":"已探索 {counts}","localConversationTurnStory.showContent":"顯示內容","localConversationTurnStory.streamContent":"串流內容","localConversationTurnStory.toggleReasoning":"顯示推理","localTaskRow.archiveError":"無法將對話存檔","localTaskRow.resumeError":"無法恢復任務","mermaidDiagram.ariaLabel":"Mermaid 圖表","mermaidDiagram.copySource":"複製 mermaid","mermaidDiagram.originalCode":"Mermaid 原始碼","notifications.permissions.description":"需要通知權限時顯示提醒","notifications.permissions.label":"啟用權限通知","notifications.turnMode.always":"一律啟用","notifications.turnMode.description":"設定在 Codex 完成後通知你","notifications.turnMode.label":"啟用完成通知","notifications.turnMode.off":"永不","notifications.turnMode.unfocused":"僅在非處於前台狀態","patchApprovalRequest.approve":"核准","patchApprovalRequest.menu.allowAlways":"是，請勿在此工作階段再次詢問","patchApprovalRequest.menu.allowForSession":"是，在此工作階段期間不要再問","patchApprovalRequest.menu.allowOnce":"是","patchApprovalRequest.prompt":"你是否希望作出這些變更？","patchApprovalRequest.reject":"否","patchApprovalRequest.waitingForApproval":"等待核准編輯檔案","pendingRequest.approvalExec.collapse":"收起","pendingRequest.approvalExec.expand":"展開","pendingRequestStory.toastAnswer":"答案：{answer}","pendingRequestStory.toastApprovalTitle":"同意回覆","pendingRequestStory.toastFollowupPrompt":"提示詞：{prompt}","pendingRequestStory.toastFollowupTitle":"已傳送跟進內容","pendingRequestStory.toastNoAnswers":"尚未提供答案","pendingRequestStory.toastQuestion":"問題：{question}","pendingRequestStory.toastUnknownDecision":"未知","pendingRequestStory.toastUserInputTitle":"已提交答案","quickAction.request.codeReview.branches.new":"請與 {to} 比對 {from} 的變更","quickAction.request.codeReview.uncommitted.new":"請檢查我未提交的變更","reasoningItem.thinking":"正在思考","reasoningItem.thought":"完成思考","reasoningItem.thoughtWithElapsed":"思考了 {elapsed}","recentConversations.title":"最近對話","recentTasks.worktreeInitFailedTitle":"工作樹未能啟動","recentTasks.worktreeSettingUpTitle":"正在設定工作樹","requestInputPanel.continue":"繼續","requestInputPanel.dismiss":"略過","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"在此處輸入","requestInputPanel.optionIndex":"{index}.","requestInputPanel.otherPlaceholder":"否，向 Codex 說明應採取什麼其他行動","requestInputPanel.selectedBadge":"已選取","requestInputPanel.skip":"略過","requestInputPanel.submit":"提交","review.commit.ariaLabel.includeUnstaged":"包括未暫存","review.commit.buttonLabel":"提交","review.commit.disabled.committing":"正在提交…","review.commit.disabled.loadingDiff":"正在載入差異…","review.commit.disabled.missingContext":"新增特定情境以生成提交訊息","review.commit.disabled.noChanges":"沒有變更可供提交","review.commit.disabled.noSelection":"選取需要提交的變更","review.commit.disabled.unavailable":"提交功能目前無法使用","review.commit.error":"無法提交變更","review.commit.form.changesToBeCommitted":"變更 ","review.commit.form.commitTo":"分支","review.commit.form.commitTo.none":"-","review.commit.form.continue":"繼續","review.commit.form.title":"提交變更","review.commit.generate.emptyResponse":"無法生成提交訊息。","review.commit.generate.failed":"無法生成提交訊息：{error}","review.commit.generate.missingPrompt":"新增特定情境以生成提交訊息。","review.commit.includeUnstaged":"包括未暫存","review.commit.loading.description":"此程序可能需時片刻，請稍候…","review.commit.loading.step.commit.done":"已提交的變更","review.commit.loading.step.commit.pending":"正在提交變更","review.commit.loading.step.createPr.done":"已建立拉取請求","review.commit.loading.step.createPr.pending":"正在建立拉取請求","review.commit.loading.step.push.done":"已推送至分支 {branch}","review.commit.loading.step.push.pending":"正在推送至分支 {branch}","review.commit.loading.title.commit":"正在提交變更","review.commit.loading.title.createPr":"正在建立 PR","review.commit.loading.title.push":"正在推送更改","review.commit.messageLabel":"提交訊息","review.commit.messagePlaceholder":"留空以自動生成提交訊息","review.commit.nextSteps":"下一步","review.commit.nextSteps.commit":"提交","review.commit.nextSteps.commitAndCreate":"提交並建立 PR","review.commit.nextSteps.commitAndPush":"提交並推送","review.commit.nextSteps.prRequiresGh":"需要 GitHub CLI：{command}","review.commit.rows.changes":"變更 ","review.commit.rows.commitCount":"{count, plural, other {# 個提交項目}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# 個提交項目}}與{stats}","review.commit.rows.fileCount":"{count, plural, other {# 個檔案}}","review.commit.state.error.body":"提交時發生問題。請檢查 git 狀態並再試一次。","review.commit.state.error.title":"無法提交","review.commit.state.success.title":"已提交變更","review.commit.untracked.loadingStats":"正在載入未追蹤的差異統計資料…","reviewFindingAttachments.count":"{count, plural, other {# 個調查結果}}","settings.agent.configuration.configToml":"config.toml","settings.agent.configuration.configToml.description":"編輯設定以自訂智能代理的行為","settings.agent.configuration.configToml.docs":"文件","settings.agent.configuration.configToml.restartNote":"完成編輯後，請重新啟動 Codex 以套用變更","settings.agent.configuration.subtitle":"這些設定將套用至所有使用 Codex 的地方","settings.automations.banner.danger":"自動化程序將以預設沙盒設定執行，目前設定為「完整存取權」。在背景執行具有完整存取權的自動化程序風險較高，Codex 可能會在未經許可的情況下修改檔案、執行指令及存取網絡。建議將沙盒設定更新為「工作區寫入」，並使用<rulesDocsLink>規則</rulesDocsLink>定義個別智能代理可透過完整存取權執行的指令。","settings.automations.banner.defaultHowTo.default":"自動化程序將以預設沙盒設定執行。如需修改工作區外的檔案、存取網絡或處理電腦上的應用程式，將無法完成工具調用。你可透過<rulesDocsLink>規則</rulesDocsLink>選擇將個別指令加入允許清單以在沙盒外執行。","settings.automations.banner.defaultHowTo.readOnly":"自動化程序將以預設沙盒設定執行，目前設定為「僅限讀取」。如需修改工作區外的檔案、存取網絡或處理電腦上的應用程式，將無法完成工具調用。建議將沙盒設定更新為「工作區寫入」。","settings.automations.cancel":"取消","settings.automations.create":"建立","settings.automations.cwdEmpty":"沒有可用的項目資料夾","settings.automations.cwdLabel":"項目","settings.automations.cwdPlaceholder":"選擇資料夾","settings.automations.cwdSubtitle":"如果你希望在特定分支上執行自動化程序，請於提示詞中註明。","settings.automations.delete":"刪除","settings.automations.dialog.editTitle":"編輯自動化任務","settings.automations.dialog.newTitle":"新增自動化程序","settings.automations.dialog.subtitle":"在背景中自動執行定期任務。Codex 會將調查結果加入收件箱，或在無需報告的情況將任務封存。<learnMoreLink>了解詳情</learnMoreLink>","settings.automations.dialog.title":"建立自動化任務","settings.automations.executionCopy.git":"Git 項目會在專屬工作樹的背景中執行。","settings.automations.executionCopy.local":"自動化程序將在所選項目的目錄中直接執行。","settings.automations.executionCopy.nonGit":"由於工作樹需要 Git，非版本控制項目將在本機執行。","settings.automations.executionEnvironment.ariaLabel":"執行環境","settings.automations.executionEnvironment.label":"執行環境","settings.automations.executionEnvironment.local":"本機","settings.automations.executionEnvironment.local.help":"在不建立工作樹的情況下，在所選項目的目錄中直接執行。","settings.automations.executionEnvironment.worktree":"工作樹","settings.automations.executionEnvironment.worktree.help":"從所選項目建立的專用 Git 工作樹中執行，保持當前的檢出內容不變。","settings.automations.loading":"正在載入…","settings.automations.nameLabel":"名稱","settings.automations.namePlaceholder":"檢查 Sentry 問題","settings.automations.pause":"暫停","settings.automations.promptLabel":"提示詞","settings.automations.promptPlaceholder":"在 $Sentry 中查看當機問題","settings.automations.resume":"恢復","settings.automations.rruleSummaryFallback":"自訂排程","settings.automations.runNow":"測試","settings.automations.save":"儲存","settings.automations.scheduleBadge.dayCount":"{count} 日","settings.automations.scheduleBadge.interval":"{count} 小時","settings.automations.scheduleBadge.weekdays":"平日","settings.automations.scheduleBadge.weekends":"週末","settings.automations.scheduleHeader":"排程","settings.automations.scheduleHours":"小時","settings.automations.scheduleLabel":"執行間距：","settings.automations.scheduleMode.daily":"每天","settings.automations.scheduleMode.interval":"間距","settings.automations.scheduleModeLabel":"排程類型","settings.automations.scheduleSummary.daily":"每天 {time}","settings.automations.scheduleSummary.interval":"每 {count} 小時","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# 天}}","settings.automations.scheduleSummary.intervalDays":"{days}每 {interval}","settings.automations.scheduleSummary.intervalHourly":"每小時","settings.automations.scheduleSummary.singleDay":"於{day} {time}","settings.automations.scheduleSummary.weekdays":"平日 {time}","settings.automations.scheduleSummary.weekdaysLabel":"平日","settings.automations.scheduleSummary.weekends":"週末 {time}","settings.automations.scheduleSummary.weekendsLabel":"週末","settings.automations.scheduleSummary.weekly":"於{days} {time}","settings.automations.scheduleWeekdays":"開啟","settings.automations.weekdayState.excluded":"不包括","settings.automations.weekdayState.included":"包括","settings.conversationDetail.steps":"步驟","settings.conversationDetail.steps.description":"隱藏指令及輸出內容","settings.conversationDetail.stepsWithCommands":"帶有程式碼指令的步驟","settings.conversationDetail.stepsWithCommands.description":"顯示指令，收起輸出內容","settings.conversationDetail.stepsWithOutput":"帶有程式碼輸出的步驟","settings.conversationDetail.stepsWithOutput.description":"顯示指令並展開輸出內容","settings.dataControls.archivedChats.dateTime":"{date} {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date} {time} • {repo}","settings.dataControls.archivedChats.empty":"沒有已存檔的聊天記錄。","settings.dataControls.archivedChats.error":"無法載入已存檔的聊天記錄。","settings.dataControls.archivedChats.loading":"正在載入已存檔的聊天記錄…","settings.dataControls.archivedChats.unarchive":"取消封存","settings.dataControls.archivedChats.unarchiveError":"無法將聊天存檔","settings.dataControls.archivedChats.unarchiveSuccess":"已取消封存對話串。<viewNowLink>立即查看</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"已取消封存對話串。","settings.dataControls.archivedChats.untitled":"未命名聊天","settings.dataControls.archivedChats.viewNow":"立即查看","settings.editRow.headerPlaceholder":"金鑰","settings.editRow.removeEntry":"移除項目","settings.editRow.valuePlaceholder":"值","settings.general.appearance":"外觀","settings.general.appearance.codeFont":"程式碼字型","settings.general.appearance.codeFont.description":"調整在對話與差異中使用的字型及大小","settings.general.appearance.codeFontFamily":"代碼字型系列","settings.general.appearance.codeFontSize":"程式碼字型大小","settings.general.appearance.codeFontSize.units":"px","settings.general.appearance.opaqueWindows.description":"使用淨色作為視窗背景，而非系統半透明效果","settings.general.appearance.opaqueWindows.label":"使用不透明視窗背景","settings.general.appearance.sansFontFamily":"Sans 字型系列","settings.general.appearance.sansFontFamily.description":"調整用於 Codex UI 的字型","settings.general.appearance.sansFontSize":"無襯線字型大小","settings.general.appearance.sansFontSize.units":"px","settings.general.appearance.sparkCelebrationEffects.description":"在 GPT-5.3-Codex-Spark 首輪執行時，顯示全螢幕慶祝特效","settings.general.appearance.sparkCelebrationEffects.label":"火花慶祝特效","settings.general.appearance.theme":"主題","settings.general.appearance.theme.dark":"暗色介面","settings.general.appearance.theme.description":"使用淺色模式、深色模式，或視乎系統設定而定","settings.general.appearance.theme.light":"明亮介面","settings.general.appearance.theme.system":"系統","settings.general.appearance.usePointerCursors.description":"懸停在互動元素上時將游標變為指標圖示","settings.general.appearance.usePointerCursors.label":"使用指標式游標","settings.general.enterBehavior.description":"啟用後，必須按下 {modifierSymbol} + Enter 鍵方可傳送多行的提示詞。","settings.general.enterBehavior.label":"傳送長提示詞需按下 {modifierSymbol} + Enter 鍵","settings.general.experimentalFeatures":"實驗版功能（測試版）","settings.general.experimentalFeatures.empty":"沒有實驗版功能可供使用。","settings.general.experimentalFeatures.loading":"正在載入實驗版功能…","settings.general.experimentalFeatures.restartNote":"請重新啟動 Codex 以套用實驗版功能變更","settings.general.experimentalFeatures.toggle":"切換 {featureName}","settings.general.followUpQueueMode.description":"在 Codex 執行或引導當前的執行工作期間，將跟進內容加入佇列。按下 {invertFollowUpShortcutLabel}可對單則訊息執行相反操作。","settings.general.followUpQueueMode.interrupt":"引導","settings.general.followUpQueueMode.label":"跟進行為","settings.general.followUpQueueMode.queue":"加入佇列","settings.general.notifications":"通知","settings.general.power.preventSleepWhileRunning.description":"在 Codex 執行對話串期間避免電腦休眠。","settings.general.power.preventSleepWhileRunning.label":"在執行期間避免休眠","settings.git.branchPrefix.ariaLabel":"分支前綴","settings.git.branchPrefix.description":"使用 Codex 建立新分支時所用的前綴","settings.git.branchPrefix.label":"分支前綴","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"無法儲存分支前綴","settings.git.branchPrefix.save.success":"已儲存分支前綴","settings.git.commitInstructions.ariaLabel":"提交指示","settings.git.commitInstructions.description":"已新增提交訊息生成提示詞","settings.git.commitInstructions.label":"提交指示","settings.git.commitInstructions.placeholder":"新增提交訊息指南…","settings.git.commitInstructions.save":"儲存","settings.git.commitInstructions.save.error":"無法儲存提交指示","settings.git.commitInstructions.save.success":"已儲存提交指示","settings.git.forcePush.ariaLabel":"一律強行推送","settings.git.forcePush.description":"從 Codex 推送時使用「--force-with-lease」","settings.git.forcePush.label":"一律強行推送","settings.git.forcePush.save.disabled":"已停用「一律強行推送」","settings.git.forcePush.save.enabled":"已啟用「一律強行推送」","settings.git.forcePush.save.error":"無法儲存強行推送設定","settings.git.prInstructions.ariaLabel":"拉取請求指示","settings.git.prInstructions.description":"已附加到由 Codex 撰寫的拉取請求內文。","settings.git.prInstructions.label":"拉取請求指示","settings.git.prInstructions.placeholder":"新增拉取請求指南…","settings.git.prInstructions.save":"儲存","settings.git.prInstructions.save.error":"無法儲存拉取請求指示","settings.git.prInstructions.save.success":"已儲存拉取請求指示","settings.ide.defaultOpenTarget.description":"預設開啟檔案和資料夾的位置","settings.ide.defaultOpenTarget.label":"預設開啟目的地","settings.ide.defaultOpenTarget.placeholder":"查無目標","settings.ide.language.auto":"自動偵測","settings.ide.language.autoOption":"自動偵測","settings.ide.language.description":"應用程式界面語言","settings.ide.language.label":"語言","settings.ide.language.search":"搜尋語言","settings.layout.actionButton":"重新啟動擴充功能","settings.layout.actionTitle":"行動設定","settings.layout.fullWidthTitle":"設定（全寬）","settings.layout.title":"設定","settings.localEnvironments.actions.add":"新增操作","settings.localEnvironments.actions.add.description":"建立新指示以在工具列中執行","settings.localEnvironments.actions.add.save":"儲存","settings.localEnvironments.actions.empty":"新增操作以執行本機工具列的指令。","settings.localEnvironments.actions.icon.debug":"偵錯","settings.localEnvironments.actions.icon.run":"執行","settings.localEnvironments.actions.icon.test":"測試","settings.localEnvironments.actions.icon.tool":"工具","settings.localEnvironments.actions.item.button.delete":"刪除","settings.localEnvironments.actions.item.command":"操作腳本","settings.localEnvironments.actions.item.name":"名稱","settings.localEnvironments.actions.item.platforms":"平台","settings.localEnvironments.actions.item.platforms.help":"只能在特定 OS 上執行。","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"平台選擇","settings.localEnvironments.actions.item.platforms.specific":"平台特定","settings.localEnvironments.actions.item.platforms.windows":"Windows","settings.localEnvironments.actions.item.tooltip.delete":"刪除","settings.localEnvironments.actions.title":"操作","settings.localEnvironments.breadcrumb.back":"返回","settings.localEnvironments.breadcrumb.edit":"編輯","settings.localEnvironments.breadcrumb.root":"環境","settings.localEnvironments.environment.actions.description":"這些操作可執行任何指令，並會在標題列顯示。","settings.localEnvironments.environment.actionsLabel":"操作","settings.localEnvironments.environment.create":"建立本機環境","settings.localEnvironments.environment.defaultName":"本機","settings.localEnvironments.environment.edit":"編輯本機環境","settings.localEnvironments.environment.empty":"此項目尚未配置任何本機環境。","settings.localEnvironments.environment.name":"名稱","settings.localEnvironments.environment.setup":"設定腳本","settings.localEnvironments.environment.setup.description":"此腳本將在建立工作樹時執行。","settings.localEnvironments.environment.setup.hint":"項目根目錄中的執行程序。","settings.localEnvironments.environment.setup.platformOverrides":"平台覆寫","settings.localEnvironments.environment.setup.platformOverrides.add":"新增 {platform} 設定腳本","settings.localEnvironments.environment.setup.platformOverrides.description":"為指定 OS 覆寫預設腳本。","settings.localEnvironments.environment.setup.platformOverrides.remove":"移除","settings.localEnvironments.environment.setup.script":"腳本","settings.localEnvironments.environment.title":"環境詳細資料","settings.localEnvironments.file.missing":"儲存以首次建立此檔案。","settings.localEnvironments.file.parseError":"無法剖析現有檔案。儲存將覆寫內容。（{error}）","settings.localEnvironments.file.path":"檔案：{path}","settings.localEnvironments.file.readError":"無法載入本機環境資料。（{error}）","settings.localEnvironments.file.title":"本機環境檔案","settings.localEnvironments.loading.body":"正在擷取項目配置。","settings.localEnvironments.loading.title":"正在載入本機環境","settings.localEnvironments.preview.devOnly":"（僅供開發用途）","settings.localEnvironments.preview.save":"儲存","settings.localEnvironments.preview.saveError":"無法儲存檔案。（{error}）","settings.localEnvironments.preview.title":"預覽","settings.localEnvironments.save.disabled.name":"新增以儲存環境名稱。","settings.localEnvironments.save.disabled.noChanges":"沒有變更可儲存。","settings.localEnvironments.save.disabled.saving":"儲存中…","settings.localEnvironments.save.success":"已儲存本機環境","settings.localEnvironments.unavailable.body":"無法為此項目載入本機環境設定。","settings.localEnvironments.unavailable.title":"本機環境不可用","settings.localEnvironments.workspace.add":"新增項目","settings.localEnvironments.workspace.title":"項目","settings.localEnvironments.workspaceSelect.addLabel":"新增環境","settings.localEnvironments.workspaceSelect.description":"本機環境將向 Codex 說明如何為項目設定工作樹。{learnMore}","settings.localEnvironments.workspaceSelect.empty":"尚無項目；請新增項目以配置本機環境。","settings.localEnvironments.workspaceSelect.errorLabel":"環境有待處理","settings.localEnvironments.workspaceSelect.learnMore":"了解詳情","settings.localEnvironments.workspaceSelect.listLabel":"可用項目","settings.localEnvironments.workspaceSelect.loading":"正在載入項目。","settings.localEnvironments.workspaceSelect.loadingLabel":"正在載入環境","settings.localEnvironments.workspaceSelect.title":"選取項目","settings.localEnvironments.workspaceSelect.viewAction":"查看","settings.mcp.addServer":"新增伺服器","settings.mcp.app.configure":"配置","settings.mcp.app.connect":"連結","settings.mcp.apps.refresh":"重新整理","settings.mcp.detail.addArgument":"新增參數","settings.mcp.detail.addEnvVar":"新增環境變數","settings.mcp.detail.addEnvVarPassthrough":"新增變數","settings.mcp.detail.args":"參數","settings.mcp.detail.back":"返回","settings.mcp.detail.command":"啟動指令","settings.mcp.detail.cwd":"工作目錄","settings.mcp.detail.docs":"開啟 MCP 說明文件","settings.mcp.detail.docs.link":"文件","settings.mcp.detail.envVarPassthrough":"環境變數透視","settings.mcp.detail.envVars":"環境變數","settings.mcp.detail.http.addEnvHeader":"新增變數","settings.mcp.detail.http.addHeader":"新增標頭","settings.mcp.detail.http.bearerToken":"承載 token env var","settings.mcp.detail.http.envHeaders":"來自環境變數的標頭","settings.mcp.detail.http.headers":"標頭","settings.mcp.detail.http.url":"網址","settings.mcp.detail.name":"名稱","settings.mcp.detail.save":"儲存","settings.mcp.detail.switchTransportNotice":"如想切換 MCP 伺服器類型，請先解除安裝。","settings.mcp.detail.titleExisting":"更新 {name} MCP","settings.mcp.detail.titleNew":"連接自訂 MCP","settings.mcp.detail.transport.http":"可串流 HTTP","settings.mcp.detail.transport.stdio":"STDIO","settings.mcp.detail.uninstall":"解除安裝","settings.mcp.empty":"未連接任何自訂 MCP 伺服器","settings.mcp.myServers":"自訂伺服器","settings.mcp.partnerServer.description.figma":"加入完整的 Figma 情境，生成更優質的程式碼","settings.mcp.partnerServer.description.github":"與 GitHub API 整合，將工作流程自動化並自動提取資料","settings.mcp.partnerServer.description.linear":"與 Linear 的問題追蹤和項目管理工具整合","settings.mcp.partnerServer.description.notion":"閱讀參考指南、更新頁面、管理任務","settings.mcp.partnerServer.description.playwright":"整合瀏覽器自動化功能，以便落實設計和測試 UI。","settings.mcp.partnerServer.install":"安裝","settings.mcp.partnerServer.installAndAuthenticate":"安裝並驗證","settings.mcp.partnerServer.logoAlt":"{label} 標誌","settings.mcp.partnerServer.manage":"管理","settings.mcp.partnerServer.vendor":"發起人：{vendor}","settings.mcp.recommendedServers":"推薦的伺服器","settings.mcp.restartApp":"重新啟動","settings.mcp.restartExtension":"重新啟動擴充功能","settings.mcp.server.enable":"啟用","settings.mcp.server.login":"驗證","settings.mcp.server.settings":"設定","settings.multiselect.createOption":"建立「{value}」","settings.multiselect.removeOption":"移除","settings.nav.account":"帳戶","settings.nav.agent":"設置","settings.nav.ariaLabel":"設定","settings.nav.back":"返回應用程式","settings.nav.data-controls":"已存檔的對話串","settings.nav.environments":"雲端環境","settings.nav.externalTooltip":"[alpha] 在瀏覽器開啟","settings.nav.general-settings":"一般","settings.nav.git-settings":"Git","settings.nav.local-environments":"環境","settings.nav.mcp-settings":"MCP 伺服器","settings.nav.notImplemented":"[alpha] Alpha 版尚未提供","settings.nav.personalization":"自訂","settings.nav.skills-settings":"技能","settings.nav.usage-analytics":"使用量與資料分析","settings.nav.worktrees":"工作樹","settings.openSourceLicenses.back":"返回","settings.openSourceLicenses.loading":"正在載入…","settings.openSourceLicenses.missing":"查無第三方通知。","settings.openSourceLicenses.notSupported":"不適用於此主機。","settings.openSourceLicenses.rowDescription":"關於捆綁式依賴項的第三方通知","settings.openSourceLicenses.rowLabel":"開放原始碼授權","settings.openSourceLicenses.subtitle":"此應用程式內有關依賴項的第三方通知","settings.openSourceLicenses.title":"開放原始碼授權","settings.openSourceLicenses.view":"查看","settings.personalization.agents.description":"更改指示，讓 Codex 更貼近你的需要。{learnMore}","settings.personalization.agents.learnMore":"了解詳情","settings.personalization.agents.loadError":"無法載入 agents.md。","settings.personalization.agents.loading":"正在載入 agents.md…","settings.personalization.agents.placeholder":"新增自訂指示…","settings.personalization.agents.retry":"重試","settings.personalization.agents.save":"儲存","settings.personalization.agents.save.error":"無法儲存 agents.md","settings.personalization.agents.save.success":"已儲存 agents.md","settings.personalization.agents.title":"自訂指示","settings.personalization.personality.description":"選擇預設的 Codex 回覆語氣","settings.personalization.personality.label":"個性","settings.sample.contentBody":"使用此佈局編排設定面板，確保間距一致。","settings.sample.contentTitle":"範本內容攔截","settings.section.account":"帳戶","settings.section.agent":"設置","settings.section.data-controls":"已存檔的對話串","settings.section.environments":"雲端環境","settings.section.external":"Alpha 測試期間使用瀏覽器開啟","settings.section.general-settings":"一般","settings.section.git-settings":"Git","settings.section.local-environments":"環境","settings.section.mcp-settings":"MCP 伺服器","settings.section.mcp-settings.docs":"文件","settings.section.mcp-settings.subtitle":"連接外部工具和數據來源。","settings.section.personalization":"自訂","settings.section.skills-settings":"技能","settings.section.unavailable":"Alpha 版尚未提供","settings.section.usage-analytics":"使用量與資料分析","settings.section.worktrees":"工作樹","settings.threadDetail.description":"選擇在對話串中顯示的指令輸出詳盡程度","settings.threadDetail.label":"對話串詳盡程度","settings.worktrees.conversation.untitled":"無標題對話","settings.worktrees.delete.error":"無法刪除工作樹","settings.worktrees.empty.body":"Codex 建立的工作樹會在此顯示。","settings.worktrees.empty.title":"尚無工作樹","settings.worktrees.error.body":"載入工作樹時發生錯誤。","settings.worktrees.error.retry":"重試","settings.worktrees.error.title":"無法載入工作樹","settings.worktrees.loading.body":"正在擷取工作樹詳情。","settings.worktrees.loading.title":"正在載入工作樹","settings.worktrees.repository.loading":"正在載入儲存庫元數據…","settings.worktrees.repository.unknown":"未知的程式碼庫","settings.worktrees.row.conversations":"對話","settings.worktrees.row.conversations.empty":"此工作樹沒有已連結的對話。","settings.worktrees.row.conversations.loading":"正在載入對話…","settings.worktrees.row.delete":"刪除","settings.worktrees.row.title":"工作樹","sidebarElectron.addWorkspaceRoot":"新增項目","sidebarElectron.archiveThread":"將對話串封存","sidebarElectron.archiveThreadError":"無法將對話串封存","sidebarElectron.collapseFolder":"收起資料夾","sidebarElectron.createStableWorktree":"建立永久工作樹","sidebarElectron.createStableWorktree.dialog.ariaLabel":"項目名稱","sidebarElectron.createStableWorktree.dialog.cancel":"取消","sidebarElectron.createStableWorktree.dialog.create":"建立","sidebarElectron.createStableWorktree.dialog.placeholder":"項目名稱","sidebarElectron.createStableWorktree.dialog.subtitle":"從 HEAD 建立新的 Git 工作樹、將其新增為項目，然後保留該項目，直至你移除為止。","sidebarElectron.createStableWorktree.dialog.title":"建立工作樹並另存為項目","sidebarElectron.createStableWorktree.error":"無法建立永久工作樹：{message}","sidebarElectron.debugNavLink":"偵錯","sidebarElectron.editWorkspaceRootOptionName":"編輯名稱","sidebarElectron.expandFolder":"展開資料夾","sidebarElectron.groupByMenu.recency":"順時間列表","sidebarElectron.groupByMenu.title":"整理","sidebarElectron.groupByMenu.workspace":"按項目","sidebarElectron.inboxRouteNavLink":"自動化程序","sidebarElectron.markThreadUnread":"標示為未讀","sidebarElectron.missingWorkspaceRoot":"此項目資料夾已刪除或移動","sidebarElectron.newThread":"新對話串","sidebarElectron.newThreadInGroup":"在「{folder}」開始新對話串","sidebarElectron.noRecentThreads":"沒有最近的對話串","sidebarElectron.noTasks":"沒有對話串","sidebarElectron.noTasks.start":"新增項目","sidebarElectron.noTasksWithFilter":"沒有與篩選條件相符的對話串","sidebarElectron.pinnedThreads":"已釘選對話串","sidebarElectron.recentNavLink":"對話串","sidebarElectron.recentThreads":"最近的對話串","sidebarElectron.removeWorkspaceRootOption":"移除","sidebarElectron.renameThread":"重新命名對話串","sidebarElectron.renameThreadDialogAriaLabel":"對話串標題","sidebarElectron.renameThreadDialogCancel":"取消","sidebarElectron.renameThreadDialogPlaceholder":"新增標題…","sidebarElectron.renameThreadDialogSave":"儲存","sidebarElectron.renameThreadDialogSubtitle":"請保持簡短易認。","sidebarElectron.renameThreadDialogTitle":"重新命名對話串","sidebarElectron.renameThreadError":"無法重新命名對話串。","sidebarElectron.renameWorkspaceRootOptionLabel":"顯示名稱","sidebarElectron.showLess":"顯示更少","sidebarElectron.showMenu.all":"所有對話串","sidebarElectron.showMenu.relevant":"相關","sidebarElectron.showMenu.relevantHint":"僅顯示當前分支、工作樹或其他需要關注的近期對話串","sidebarElectron.showMenu.title":"顯示","sidebarElectron.showMenu.tooltip":"篩選、排序與管理對話串","sidebarElectron.showMenu.trigger":"篩選側邊欄對話串","sidebarElectron.showMore":"顯示更多","sidebarElectron.skillsAppsRouteNavLink":"技能與應用程式","sidebarElectron.skillsRouteNavLink":"技能","sidebarElectron.sortMenu.created":"建立日期","sidebarElectron.sortMenu.title":"排序方式","sidebarElectron.sortMenu.updated":"已更新","sidebarElectron.taskNavigation":"自動化程序資料夾","sidebarElectron.tasksInFolder":"「{folder}」中的自動化程序","sidebarElectron.workspaceOptions":"{folder} 的項目操作","sidebarElectron.worktreeGroupTooltip":"這是 GIT 工作樹","skills.appsPage.apps.enableToggle":"啟用應用程式","skills.appsPage.apps.installOnChatGpt":"在 ChatGPT 上安裝","skills.appsPage.apps.manageOnChatGpt":"在 ChatGPT 上管理","skills.appsPage.apps.noDescription":"沒有描述","skills.appsPage.createSkill":"新技能","skills.appsPage.empty.apps":"查無應用程式","skills.appsPage.empty.discoverApps":"沒有應用程式可供探索","skills.appsPage.empty.installedApps":"未安裝任何應用程式","skills.appsPage.empty.skills":"查無技能","skills.appsPage.heading":"技能與應用程式","skills.appsPage.search.all":"搜尋技能和應用程式","skills.appsPage.search.all.label":"搜尋技能和應用程式","skills.appsPage.search.apps":"搜尋應用程式","skills.appsPage.search.apps.label":"搜尋應用程式","skills.appsPage.search.skills":"搜尋技能","skills.appsPage.search.skills.label":"搜尋技能","skills.appsPage.section.apps":"應用程式","skills.appsPage.section.apps.seeAll":"查看全部 {count} 個應用程式","skills.appsPage.section.discover":"探索","skills.appsPage.section.installedApps":"已安裝","skills.appsPage.section.skills":"技能","skills.appsPage.section.skills.seeAll":"瀏覽全部 {count} 個技能","skills.appsPage.subheading":"讓 Codex 更有能力。<link>了解詳情</link>","skills.appsPage.tab.apps":"應用程式","skills.appsPage.tab.recommended":"推薦","skills.appsPage.tab.skills":"技能","skills.card.contentsError":"無法載入技能內容。","skills.card.disable":"停用","skills.card.disableSuccess":"已停用 {skillName} 技能","skills.card.disabledBadge":"已停用","skills.card.enable":"啟用","skills.card.enableSuccess":"已啟用 {skillName} 技能","skills.card.loadingContents":"正在載入技能內容…","skills.card.more":"更多操作","skills.card.open":"開啟","skills.card.removeFailed":"無法解除安裝技能","skills.card.removeSuccess":"已解除安裝 {skillName} 技能","skills.card.toggleEnabledError":"無法更新技能","skills.card.try":"試試","skills.card.trySkill":"試用技能","skills.card.uninstall":"解除安裝","skills.hero.dotLabel":"前往幻燈片 {index}","skills.hero.next":"下一項精選技能","skills.hero.trySkill":"試用技能","skills.page.createSkill":"新技能","skills.page.empty":"查無技能","skills.page.filteredEmpty":"沒有技能與你的篩選條件相符","skills.page.filteredEmptyDescription":"請嘗試調整搜尋或範圍篩選條件","skills.page.heading":"技能","skills.page.loading":"正在載入技能…","skills.page.refreshSkills":"重新整理","skills.page.refreshSkillsToUseNew":"重新整理以使用新技能","skills.page.search":"搜尋技能","skills.page.search.label":"搜尋技能","skills.page.subheading":"讓 Codex 更有能力。<link>了解詳情</link>","skills.preview.copyPrompt":"複製提示詞","skills.preview.examplePrompt":"示例提示詞","skills.recommended.error":"無法載入推薦的技能。","skills.recommended.install":"安裝","skills.recommended.installSkill":"安裝技能","skills.recommended.installSuccess":"已安裝 {skillName} 技能","skills.recommended.installed":"已安裝","skills.scope.admin":"管理員","skills.scope.adminInstalled":"由管理員安裝","skills.scope.builtIn":"系統","skills.scope.personal":"個人","skills.scope.repo":"程式碼庫","skills.scope.system":"系統","skills.scope.team":"Team","skills.scope.user":"用戶","skills.section.installed":"已安裝","skills.section.recommended":"推薦","story.slidingToggle.existing":"現有","story.slidingToggle.fromLocal":"從本機","story.slidingToggle.new":"新","story.slidingToggle.toLocal":"至本機","terminal.close":"關閉終端機","terminal.title":"終端機","thinkingShimmer.default":"正在思考","threadEnvIcon.cloudTooltip":"此對話在 Codex Cloud 中執行。","threadEnvIcon.localTooltip":"此對話在本機執行。","threadEnvIcon.worktreeTooltip":"此對話在本機 git 工作樹中執行。","threadHeader.archiveConfirmCancel":"取消","threadHeader.archiveConfirmConfirm":"封存","threadHeader.archiveConfirmSubtitle":"你稍後可以在封存對話串中找到有關內容。","threadHeader.archiveConfirmTitle":"將對話串封存？","threadHeader.copyAppLink":"複製 Deeplink","threadHeader.copySessionId":"複製工作階段 ID","threadHeader.copyWorkingDirectory":"複製工作目錄","threadHeader.forkIntoLocal":"分支複製到本機","threadHeader.forkIntoWorktree":"分支複製到新的工作樹","threadHeader.forkPendingWorktreePrompt":"將此對話分支複製到本機或新工作樹。","threadHeader.forkPendingWorktreeTitle":"分支複製對話","threadHeader.forkThreadError":"無法分支複製對話串","threadHeader.forkThreadRequiresGitRepo":"分支複製到新的工作樹需要 Git 程式碼庫","threadHeader.moreActions":"對話串操作","threadPage.newThread":"新對話串","threadPage.runAction.changeEnvironment":"變更環境","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} 行動","threadPage.runAction.environmentSelector.label":"選擇環境","threadPage.runAction.label":"執行","threadPage.runAction.missing.label":"設定執行行動","threadPage.runAction.setup.commandLabel":"需要執行的指令","threadPage.runAction.setup.description":"向 Codex 說明如何安裝依賴項和啟動應用程式。","threadPage.runAction.setup.editMore":"環境設定","threadPage.runAction.setup.placeholder":"例子：npm install npm run","threadPage.runAction.setup.submit":"儲存並執行","threadPage.runAction.setup.title":"執行","threadPage.runAction.tooltip.withEnvironment":"{environmentName} 行動","threadPage.toggleDiffPanel":"切換差異面板","threadPage.toggleTerminal":"切換終端機開關","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"開啟資料夾","toolSummaryForCmd.exploredFiles":"<verb>已列出</verb>檔案","toolSummaryForCmd.exploredFilesInPath":"<verb>已列出</verb> {path} 中的檔案","toolSummaryForCmd.exploringFiles":"<verb>正在列出</verb>檔案","toolSummaryForCmd.exploringFilesInPath":"<verb>正在列出</verb> {path} 中的檔案","toolSummaryForCmd.finishedBackgroundTerminal":"背景終端機已完成操作","toolSummaryForCmd.finishedBackgroundTerminalWithCommand":"背景終端機已使用 {command} 完成操作","toolSummaryForCmd.ranGenericCommand":"<status>執行指令</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>已執行</status> {command}{timer}","toolSummaryForCmd.read":"<verb>讀取 </verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>正在執行指令</status>{timer}","toolSummaryForCmd.runningTimer":"執行時間：{elapsed}","toolSummaryForCmd.searchedFor":"<verb>已搜尋</verb>「{query}」","toolSummaryForCmd.searchedForFiles":"<verb>已搜尋</verb>檔案","toolSummaryForCmd.searchedForInPath":"已在 {path} 中<verb>搜尋</verb>「{query}」","toolSummaryForCmd.searchingFor":"<verb>正在搜尋</verb>「{query}」","toolSummaryForCmd.searchingForFiles":"<verb>正在搜尋</verb>檔案","toolSummaryForCmd.searchingForInPath":"正在 {path} 中<verb>搜尋</verb>「{query}」","toolSummaryForCmd.startedBackgroundTerminal":"已開始背景終端機操作","toolSummaryForCmd.startedBackgroundTerminalWithCommand":"已使用 {command} 開始背景終端機操作","traceRecording.details.noteLabel":"此情況發生時，你正在處理什麼工作？（選填）","traceRecording.details.notePlaceholder":"前往大型對話串，然後反覆切換分頁…","traceRecording.details.submit":"傳送追蹤記錄","traceRecording.details.subtitle":"我們可以傳送此設定檔的追蹤記錄，協助診斷效能表現問題。","traceRecording.details.title":"傳送設定檔追蹤記錄","traceRecording.progress.subtitle":"此程序完成後，保持 Codex 開啟。","traceRecording.saving.title":"正在傳送追蹤記錄…","traceRecording.startDetails.cancel":"取消","traceRecording.startDetails.submit":"確認，開始錄製","traceRecording.startDetails.subtitle":"按下「確認」後，請重現效能表現問題，然後按一下懸浮的紅色指標以停止追蹤並查看記錄。","traceRecording.startDetails.title":"「追蹤記錄錄製功能」的運作原理","traceRecording.stopButton.ariaLabel":"停止追蹤記錄","traceRecording.upload.successToast":"已傳送設定檔追蹤記錄。","traceRecording.uploading.title":"正在上載追蹤記錄…","wham.diff.addComment":"新增評論","wham.diff.binaryFile":"沒有顯示二進制檔案","wham.diff.noContent":"沒有內容","wham.fileTag.deleted":"已刪除","wham.fileTag.new":"新","wham.formattedRelativeDateTime.compactDaysAgo":"{value} 日","wham.formattedRelativeDateTime.compactHoursAgo":"{value} 小時","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} 分","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} 個月","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} 星期","wham.formattedRelativeDateTime.compactYearsAgo":"{value} 年","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"正在執行你的任務","wham.whamProposedTask.title":"建議任務","wham.whamProposedTask.useSuggestion":"使用建議內容","workspaceRootDialog.addError":"無法新增項目","workspaceRootDialog.cancel":"取消","workspaceRootDialog.confirmAdd":"新增項目","workspaceRootDialog.confirmPick":"使用項目","workspaceRootDialog.description":"輸入 {host} 上的路徑以用作項目。","workspaceRootDialog.pathLabel":"項目路徑","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"新增項目路徑","workspaceRootDialog.title.pick":"選擇項目路徑","worktreeInitV2.cancel":"取消","worktreeInitV2.notification.failedTitle":"工作樹設定未能完成","worktreeInitV2.output.empty":"正在等候輸出…","worktreeInitV2.status.error":"工作樹設定未能完成。","worktreeInitV2.status.running":"建立工作樹並執行設定。","worktreeInitV2.status.runningFork":"正在建立工作樹以分支複製此對話。","worktreeInitV2.status.success":"工作樹準備就緒。","worktreeInitV2.title":"正在建立工作樹","worktreeInitV2.workLocallyInstead":"改於本機工作","worktreeRestoreBanner.body":"為節省儲存空間，此對話串的工作樹已移除。","worktreeRestoreBanner.missing.body":"此對話串的工作目錄已不再存在。","worktreeRestoreBanner.missing.title":"缺少當前工作的目錄","worktreeRestoreBanner.restore.error":"無法還原工作樹：{message}","worktreeRestoreBanner.restore.success":"工作樹已還原","worktreeRestoreBanner.restoreCta":"還原工作樹","worktreeRestoreBanner.title":"已清理工作樹"};Object.assign(e,globalThis.codexI18nOverrides?.["zh-HK"]);export{e as default};
 //# sourceMappingURL=zh-HK-C5WyJIkj.js.map
@@ -1,2 +1,2 @@
-const e={"CopyButton.copyTooltip":"複製","app.sidebar.hide":"隱藏側邊欄","app.sidebar.show":"顯示側邊欄","app.sidebar.tooltip":"切換側邊欄","appHeader.installUpdate":"更新","appSunset.body":"此版本的應用程式已停止支援。請在<here>此處</here>下載最新版本。","appSunset.title":"必須更新","automation.updateDirective.create":"建立","automation.updateDirective.open":"開啟","automation.updateDirective.untitled":"無標題自動化","automation.updateDirective.update":"更新","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# 次嘗試}}","cloudTaskRow.archiveError":"無法封存任務","code.diff.requestChange":"要求變更","code.diffComment.cancel":"取消","code.diffComment.comment":"評論","code.diffComment.delete":"刪除","code.diffComment.save":"儲存","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"沒有報告任何發現。","codex.alert.closeAriaLabel":"關閉","codex.appUpsellBanner.cbpApi.message":"使用 Codex 應用程式更快地組建。立即下載或 {learnMoreLink}。","codex.appUpsellBanner.download":"下載","codex.appUpsellBanner.freeGo.message":"Codex 已包含在你的方案中，有效期至 3 月 2 日。試用 Codex 應用程式以更快地建立。","codex.appUpsellBanner.later":"稍後","codex.appUpsellBanner.learnMoreLowercase":"深入了解","codex.appUpsellBanner.new":"新增","codex.appUpsellBanner.proPlusBusiness.message":"4 月 2 日前可以 2 倍 速率限制試用 Codex 應用程式。立即下載或 {learnMoreLink}。","codex.appUpsellBanner.title":"Codex 應用程式","codex.applyDropdown.header.changes":"變更","codex.applyDropdown.header.fileCount":"{count, plural, other {# 個檔案}}","codex.applyDropdown.header.rows":"列","codex.applyDropdown.header.title":"套用變更","codex.applyDropdown.header.workspace":"專案","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} 個檔案已衝突：}}","codex.applyDropdown.results.empty":"沒有已複製的檔案","codex.applyDropdown.results.skipped":"{count, plural, other {{count} 個檔案已跳過：}}","codex.applyOrRevertBanner.apply":"套用","codex.applyOrRevertBanner.applyMessage":"是否套用變更並在本機繼續？","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"此任務於 {environment} 建立，因此可能無法完全套用。","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"可能無法完全套用在 {environment} 中所做的變更。","codex.applyOrRevertBanner.reapply":"重新套用","codex.applyOrRevertBanner.revert":"還原","codex.applyOrRevertBanner.revertMessage":"是否還原套用的變更？","codex.applyResultsDialog.applied":"已完全套用 ({count})","codex.applyResultsDialog.close":"關閉","codex.applyResultsDialog.conflicted":"衝突({count})","codex.applyResultsDialog.noDetails":"沒有可用的檔案詳細資料。","codex.applyResultsDialog.skipped":"已跳過 ({count})","codex.applyResultsDialog.title":"套用結果","codex.archiveInfo":"檢視 {dataControlsLink} 中封存的聊天。","codex.archiveInfo.dataControlsLink":"資料控制","codex.archiveInfo.electron":"檢視 {settingsLink} 中封存的聊天","codex.archiveInfo.extension":"在你的 .codex 資料夾中檢視封存的聊天。","codex.archiveInfo.settingsLink":"設定","codex.banner.content.description":"使用人工智慧平行執行任務、隨時隨地追蹤進度和審查 PR。","codex.banner.content.headline":"Codex 能做到一切。","codex.cloudTaskRow.archiveTask":"封存任務","codex.cloudTaskRow.confirmArchiveTask":"確認","codex.command.feedback":"回饋","codex.command.findInThread":"尋找","codex.command.forceReloadSkills":"強制重新載入技能","codex.command.logOut":"登出","codex.command.manageTasks":"管理任務","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"上一步","codex.command.navigateForward":"向前","codex.command.newThread":"新增對話串","codex.command.nextThread":"下一個對話串","codex.command.openFolder":"開啟資料夾","codex.command.openSkills":"前往技能","codex.command.openThreadOverlay":"彈出式對話串","codex.command.personalitySettings":"性格","codex.command.previousThread":"上一個對話串","codex.command.settings":"設定","codex.command.toggleDiffPanel":"切換差異面板","codex.command.toggleSidebar":"切換側邊欄","codex.command.toggleTerminal":"切換終端","codex.commandGroup.app":"應用程式","codex.commandGroup.configure":"設定","codex.commandGroup.navigation":"導航","codex.commandGroup.panels":"面板","codex.commandGroup.skills":"技能","codex.commandGroup.thread":"對話串","codex.commandGroup.workspace":"專案","codex.commandMenu.noResults":"沒有相符項目","codex.commandMenu.searchPlaceholder":"搜尋指令","codex.commandMenu.suggestedGroup":"建議使用","codex.commandMenu.switchWorkspace":"切換專案","codex.commandMenu.title":"指令功能表","codex.common.retry":"重試","codex.composer.searchBranches":"搜尋分支","codex.dialog.basic.body":"這是一個使用我們針對 Radix Dialog 的封裝實作的簡單模態對話方塊。","codex.dialog.basic.cancel":"取消","codex.dialog.basic.confirm":"確認","codex.dialog.basic.open":"開啟對話方塊","codex.dialog.basic.title":"範例對話方塊","codex.dialog.long.close":"關閉","codex.dialog.long.line":"用於示範對話方塊中長內容的可捲動行 {index}。","codex.dialog.long.open":"開啟長對話方塊","codex.dialog.long.title":"長內容對話方塊","codex.dialog.unstyled.body":"這個故事展示了調用者如何完全控制對話內容的風格。","codex.dialog.unstyled.open":"開啟未設定樣式的對話方塊","codex.dialog.unstyled.title":"未設定樣式的內容","codex.diff.openInEditorPrompt.openButton":"在編輯器中打開","codex.diff.openInEditorPrompt.singleLine":"此檔案過大，無法在此顯示。","codex.diffView.failedToDecodeBase64Diff":"無法解碼 base64 差異","codex.diffView.filesChanged":"{fileCount, plural, other {已變更 # 個檔案}}","codex.diffView.imagePreviewAlt":"圖像預覽","codex.diffView.imagePreviewEmpty":"沒有圖像","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"沒有差異資料","codex.diffView.pdfPreview.nextPage":"下一頁","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"上一頁","codex.diffView.pdfPreviewEmpty":"無 PDF 預覽","codex.diffView.pdfPreviewError":"無法渲染 PDF 預覽","codex.diffView.richPreviewDisable":"停用豐富預覽","codex.diffView.richPreviewEnable":"啟用豐富預覽","codex.diffView.richPreviewLoading":"正在載入預覽…","codex.diffView.richPreviewToggle":"切換豐富預覽","codex.diffView.switchToUnified":"切換至整合差異","codex.environmentSelector.noEnvironment":"沒有環境","codex.environments.environmentSettings":"環境設定","codex.environments.learnMore":"深入了解","codex.environments.listError":"無法載入環境。","codex.environments.noEnvironmentsFound":"找不到環境","codex.environments.searchError":"無法搜尋環境。","codex.errorBoundary.genericError":"糟糕，發生錯誤","codex.errorBoundary.goHome":"再試一次","codex.file.patch.missing":"無法為此檔案建立修補程式。","codex.gallery.automations.cwdLabel":"專案","codex.gallery.automations.nameLabel":"名稱","codex.gallery.automations.namePlaceholder":"總結任務","codex.gallery.automations.promptLabel":"提示詞","codex.gallery.automations.promptPlaceholder":"說明 Codex 應該完成的內容","codex.gallery.dialogs.automation.label":"自動化對話方塊","codex.gallery.dialogs.basic.body":"此版面配置用於簡單的確認或短表單。","codex.gallery.dialogs.basic.cancel":"取消","codex.gallery.dialogs.basic.confirm":"確認","codex.gallery.dialogs.basic.label":"基本對話方塊","codex.gallery.dialogs.basic.title":"範例對話方塊","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"請描述問題","codex.gallery.dialogs.feedbackSubmission.bad":"結果不佳","codex.gallery.dialogs.feedbackSubmission.bug":"錯誤","codex.gallery.dialogs.feedbackSubmission.good":"結果良好","codex.gallery.dialogs.feedbackSubmission.includeLogs":"包含目前 Codex 工作階段記錄檔","codex.gallery.dialogs.feedbackSubmission.label":"回饋提交","codex.gallery.dialogs.feedbackSubmission.other":"其他","codex.gallery.dialogs.feedbackSubmission.placeholder":"請在此處說明問題","codex.gallery.dialogs.feedbackSubmission.submit":"提交","codex.gallery.dialogs.feedbackSubmission.title":"回饋","codex.gallery.dialogs.feedbackSuccess.body":"已上傳回饋。如果問題仍然存在，請在 GitHub 上提交問題或在現有問題中提及對話串 ID：","codex.gallery.dialogs.feedbackSuccess.dismiss":"解除","codex.gallery.dialogs.feedbackSuccess.label":"回饋成功","codex.gallery.dialogs.feedbackSuccess.title":"已上傳回饋","codex.gallery.dialogs.gitApplyResults.applied":"已完全套用 (2)","codex.gallery.dialogs.gitApplyResults.close":"關閉","codex.gallery.dialogs.gitApplyResults.conflicted":"已衝突 (1)","codex.gallery.dialogs.gitApplyResults.label":"套用結果","codex.gallery.dialogs.gitApplyResults.title":"套用結果","codex.gallery.dialogs.gitPushError.body":"如果確定遠端歷程紀錄可以安全覆寫，則可以擷取最新變更或強制推播。","codex.gallery.dialogs.gitPushError.cancel":"取消","codex.gallery.dialogs.gitPushError.force":"強制推播","codex.gallery.dialogs.gitPushError.label":"推播錯誤","codex.gallery.dialogs.gitPushError.subtitle":"你的分支落後於 origin/main。","codex.gallery.dialogs.gitPushError.title":"無法推播變更","codex.gallery.dialogs.gitRevert.cancel":"取消","codex.gallery.dialogs.gitRevert.confirm":"還原","codex.gallery.dialogs.gitRevert.label":"還原變更","codex.gallery.dialogs.gitRevert.skip":"不再詢問","codex.gallery.dialogs.gitRevert.subtitle":"此動作會移除所有變更。","codex.gallery.dialogs.gitRevert.title":"是否還原變更？","codex.gallery.dialogs.longForm.label":"長表單對話方塊","codex.gallery.dialogs.proseModal.body":"此模態樣式用於較長的說明、上線或豐富的內容區塊。","codex.gallery.dialogs.proseModal.close":"關閉","codex.gallery.dialogs.proseModal.subtitle":"請在此處分享更詳細的指南或文件。","codex.gallery.dialogs.proseModal.title":"散文模態","codex.gallery.dialogs.submitBlocked.label":"已封鎖提交","codex.gallery.dialogs.submitBlocked.message":"由於專案無法使用，你的訊息無法傳送。","codex.gallery.dialogs.submitBlocked.ok":"確定","codex.gallery.dialogs.submitBlocked.title":"無法傳送訊息","codex.gallery.dialogs.title":"對話方塊","codex.gallery.dropdown.filterPlaceholder":"篩選項目","codex.gallery.dropdowns.actionRow":"動作列","codex.gallery.dropdowns.actionRow.disabled":"已停用動作","codex.gallery.dropdowns.actionRow.primary":"主要動作","codex.gallery.dropdowns.actionRow.secondary":"次要動作","codex.gallery.dropdowns.actionRow.trigger":"顯示動作","codex.gallery.dropdowns.basic":"基本下拉式清單","codex.gallery.dropdowns.basic.newFile":"新增檔案","codex.gallery.dropdowns.basic.newFolder":"新增資料夾","codex.gallery.dropdowns.basic.openSettings":"開啟設定","codex.gallery.dropdowns.basic.title":"快速動作","codex.gallery.dropdowns.basic.trigger":"開啟功能表","codex.gallery.dropdowns.basic.upload":"上傳","codex.gallery.dropdowns.panel":"面板介面","codex.gallery.dropdowns.panel.apply":"套用","codex.gallery.dropdowns.panel.body":"查看差異並將其套用至你的專案。","codex.gallery.dropdowns.panel.preview":"預覽","codex.gallery.dropdowns.panel.title":"套用變更","codex.gallery.dropdowns.panel.trigger":"開啟面板","codex.gallery.dropdowns.search":"可搜尋下拉式清單","codex.gallery.dropdowns.search.first":"Alpha 頻道","codex.gallery.dropdowns.search.second":"Beta 分支","codex.gallery.dropdowns.search.third":"發佈候選","codex.gallery.dropdowns.search.trigger":"篩選項目","codex.gallery.dropdowns.submenu":"帶有子功能表的下拉式清單","codex.gallery.dropdowns.submenu.optionA":"專案 Alpha","codex.gallery.dropdowns.submenu.optionB":"專案 Beta","codex.gallery.dropdowns.submenu.optionC":"專案 Gamma","codex.gallery.dropdowns.submenu.primary":"指派擁有者","codex.gallery.dropdowns.submenu.secondary":"移至","codex.gallery.dropdowns.submenu.tertiary":"封存","codex.gallery.dropdowns.submenu.trigger":"選擇動作","codex.gallery.dropdowns.title":"下拉式清單","codex.gallery.inbox.automations.close":"關閉","codex.gallery.inbox.automations.popover.cardTitle":"管理自動化","codex.gallery.inbox.automations.popover.dialogTitle":"管理自動化","codex.header.settingsTooltip":"設定","codex.hunk.patch.error":"無法暫存","codex.hunk.patch.missing":"無法為此程式碼區塊建立修補程式。","codex.hunk.patch.partialSuccess":"部分成功","codex.hunk.patch.revertError":"無法取消暫存","codex.hunk.patch.revertSuccess":"已成功取消暫存","codex.hunk.patch.success":"已成功暫存","codex.legal.autonomy.details":"更多詳細資料，請查看 {link}","codex.legal.autonomy.details.link":"Codex 文件","codex.legal.autonomy.title":"決定你想授予他們多少自主權","codex.legal.backButton":"上一步","codex.legal.cloud.taskOne.meta":"openai/agi · 10 月 12 日","codex.legal.cloud.taskOne.title":"向新設計師解釋儲存庫","codex.legal.cloud.taskThree.meta":"openai/codex · 10 月 8 日","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"建立深色模式主題","codex.legal.cloud.taskTwo.meta":"openai/agi · 10 月 9 日","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"修正上線錯誤","codex.legal.continue.apikey":"繼續","codex.legal.continueButton":"下一步","codex.legal.copilot.details":"所有模型調用、計費和速率限制皆使用你的 Copilot 方案。Codex 擴充功能的使用受 {oaiTos} 和 {gitHubTos} 的限制。","codex.legal.copilot.gitHubTosLink":"GitHub 服務條款","codex.legal.copilot.oaiTosLink":"OpenAI Codex 服務條款","codex.legal.copilot.title":"由 GitHub Copilot 提供支援","codex.legal.mistakes.review":"審查它編寫的程式碼和正在執行的指令","codex.legal.mistakes.title":"Codex 可能會出錯","codex.legal.powered.details":"使用你方案的速率限制和 {link}","codex.legal.powered.details.link":"訓練資料喜好設定","codex.legal.powered.title":"由你的 ChatGPT 帳戶提供支援","codex.legal.step.cloud.subtitle":"將任務傳送給 Codex 以在背景執行，讓你保持專注、加速工作流程。","codex.legal.step.cloud.title":"移交至雲端 Codex 處理","codex.legal.step.intro.subtitle":"Codex 可以直接在你的儲存庫中尋覽、編輯、執行指令和執行測試。由你的 ChatGPT 帳戶提供支援。","codex.legal.step.intro.title":"你的 IDE 中的 Codex","codex.legal.step.todo.subtitle":"編寫待辦事項註解並單鍵轉換為 Codex 任務。","codex.legal.step.todo.title":"將待辦事項轉換為 Codex 任務","codex.legal.todo.heading":"// 待辦事項：實施結構描述","codex.localConversation.closeImagePreview":"關閉圖像預覽","codex.localConversation.userImageAttachment":"使用者附件","codex.localTaskRow.archiveTask":"封存對話串","codex.localTaskRow.awaitingApproval":"正在等待核准","codex.localTaskRow.awaitingResponse":"等待回應","codex.localTaskRow.confirmArchiveTask":"確認","codex.loggedOut.apiKeyPrompt.cancel":"取消","codex.loggedOut.apiKeyPrompt.confirm":"確定","codex.loggedOut.apiKeyPrompt.getKey":"取得 API 金鑰","codex.loggedOut.apiKeyPrompt.inputLabel":"輸入你的 OpenAI API 金鑰","codex.loggedOut.apiKeyPrompt.placeholder":"sk-…","codex.loggedOut.cloudTasksDisabledWithApiKey":"雲端任務已停用 API 金鑰","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"雲端任務已停用 Copilot 和 API 金鑰","codex.loggedOut.signIn":"使用 ChatGPT 登入","codex.loggedOut.signIn.cancel":"取消登入","codex.loggedOut.signInWithCopilot":"使用 GitHub Copilot 登入","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"使用 API 金鑰","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} 工具","codex.mcpTool.collapsedLabel.verb.called":"已調用","codex.mcpTool.collapsedLabel.verb.calling":"正在調用","codex.mcpTool.embeddedResource.contentLabel":"內容","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME 類型","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"工具未傳回任何內容","codex.mcpTool.rawPayloadHeading":"原始 {server}.{tool} 工具調用有效承載","codex.menu.recent":"最近","codex.menu.seeAllHistory":"查看所有歷程紀錄","codex.modelCapacityBanner.headline.noReset":"{modelName} 目前已達容量上限。請稍後再試一次，或使用其他模型開始新對話。","codex.modelCapacityBanner.headline.withReset":"{modelName} 目前已達容量上限。請 {resetDate} 後再試一次，或使用其他模型開始新對話。","codex.modelCapacityBanner.title":"選取的模型已達容量上限","codex.patch.change.contentsDeleted":"已刪除内容","codex.patch.change.created":"已建立","codex.patch.change.created-file":"已建立檔案","codex.patch.change.creating":"正在建立","codex.patch.change.deleted":"已刪除","codex.patch.change.deleted-file":"已刪除檔案","codex.patch.change.deleting":"正在刪除","codex.patch.change.edited":"已編輯","codex.patch.change.edited-file":"已編輯檔案","codex.patch.change.editing":"正在編輯","codex.patch.change.noChanges":"沒有變更","codex.patch.change.rejected-add":"已拒絕","codex.patch.change.rejected-delete":"已拒絕","codex.patch.change.rejected-edit":"已拒絕","codex.plan.stepIndexPrefix":"{index}。","codex.plan.tasksCompletedSummary":"已完成 {completed} 項任務，共 {total} 項任務","codex.plan.todoListCreated":"已建立包含 {total} 項任務的待辦清單","codex.profileDropdown.apiKeyAuth":"已使用 API 金鑰登入","codex.profileDropdown.codexSettings":"Codex 設定","codex.profileDropdown.copilotAuth":"已使用 Copilot 登入","codex.profileDropdown.defaultAccountTitle":"預設帳戶","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter 鍵可傳送長提示詞","codex.profileDropdown.enterBehaviorError":"無法更新設定","codex.profileDropdown.getPlus":"升級以獲得更高限額","codex.profileDropdown.keyboardShortcuts":"鍵盤快速鍵","codex.profileDropdown.language":"語言","codex.profileDropdown.languageDefault":"自動偵測","codex.profileDropdown.languageSearchPlaceholder":"搜尋語言","codex.profileDropdown.languageUpdateError":"無法更新語言","codex.profileDropdown.logOut":"登出","codex.profileDropdown.mcp":"MCP 設定","codex.profileDropdown.openConfigToml":"開啟 config.toml","codex.profileDropdown.openConfigToml.wsl":"在 WSL 環境中開啟 config.toml","codex.profileDropdown.openExtensionSettings":"開啟設定","codex.profileDropdown.openMcpSettings":"開啟 MCP 設定","codex.profileDropdown.openOnStartup":"啟動時開啟","codex.profileDropdown.openOnStartupError":"無法更新設定","codex.profileDropdown.openSkillsSettings":"開啟技能設定","codex.profileDropdown.personalAccountTitle":"個人帳戶","codex.profileDropdown.queueFollowUps":"將後續跟進排入佇列","codex.profileDropdown.queueFollowUpsError":"無法更新設定","codex.profileDropdown.readDocs":"讀取文件","codex.profileDropdown.readSkillsDocs":"讀取文件","codex.profileDropdown.runInWsl":"在 WSL 中執行","codex.profileDropdown.runInWslError":"無法更新設定","codex.profileDropdown.runInWslTooltip":"在 WSL 環境執行 Codex。建議使用以改善沙箱安全性和運行效能。","codex.profileDropdown.settings":"IDE 設定","codex.profileDropdown.settingsPage":"設定","codex.profileDropdown.signInWithOpenAI":"使用 ChatGPT 登入","codex.profileDropdown.skills":"技能設定","codex.profileDropdown.switchToCopilotAccount":"使用 Copilot 帳戶","codex.profileDropdown.switchToOpenAIAccount":"使用 OpenAI 帳戶","codex.profileDropdown.todoCodelens":"修正待辦事項註解","codex.profileDropdown.todoCodelensError":"無法更新設定","codex.profileDropdown.windowsDocumentation":"Windows 文件","codex.profileFooter.signedInFallback":"設定","codex.profileFooter.upgrade":"升級","codex.recentTasksMenu.clearSearch":"清除搜尋","codex.recentTasksMenu.cloud":"雲端任務","codex.recentTasksMenu.count":"{count, plural, =0 {沒有執行中的任務} other {正在進行 # 項任務}}","codex.recentTasksMenu.empty":"還沒有對話串","codex.recentTasksMenu.errorCloud":"無法載入任務。","codex.recentTasksMenu.errorCloud.inline":"無法載入雲端任務。","codex.recentTasksMenu.filterAll":"全部","codex.recentTasksMenu.filterCloudTasks":"篩選雲端任務","codex.recentTasksMenu.filterTooltip":"依環境篩選任務","codex.recentTasksMenu.local":"本機任務","codex.recentTasksMenu.recent":"所有任務","codex.recentTasksMenu.search":"搜尋最近的任務","codex.recentTasksMenu.searchEmpty":"沒有任何結果","codex.recentTasksMenu.tooltip":"任務歷程紀錄","codex.recentTasksMenu.trigger":"最近的任務。{count, plural, other {# 個處理中}}","codex.remoteConversation.applyDiff.applyCta":"套用變更","codex.remoteConversation.applyDiff.dropdownTitle":"將變更套用到本機分支","codex.remoteConversation.applyDiff.revertCta":"還原變更","codex.remoteConversation.closeImagePreview":"關閉圖像預覽","codex.remoteConversation.codexCloudTask":"你正在檢視 <u>Codex 雲端</u>任務","codex.remoteConversation.errorWithMessage":"錯誤：{message}","codex.remoteConversation.loadingImage":"正在載入圖像","codex.remoteConversation.openInWeb":"在網頁中開啟","codex.remoteConversation.streaming":"開始使用","codex.remoteConversation.turnFailed":"執行此任務時發生錯誤","codex.remoteConversation.turnTab.loading":"嘗試 {number}","codex.remoteConversation.turnTab.title":"嘗試 {number}","codex.remoteConversation.userImageAttachment":"使用者附件","codex.remoteConversation.viewPreviousTurns":"在網頁中開啟","codex.remoteConversation.viewPreviousTurns.buttonText":"開啟","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"在網頁中開啟","codex.review.copyGitApplyCommand":"複製 git 套用命令","codex.review.copyGitApplyCommand.toast":"已將 git 套用命令複製至剪貼簿","codex.review.diffTooLarge.description":"此差異過大，無法在「審核」中顯示。","codex.review.diffTooLarge.title":"差異過大，無法顯示","codex.review.expandOrCollapseDiffButton.collapse":"摺疊所有差異","codex.review.expandOrCollapseDiffButton.expand":"展開所有差異","codex.review.expandOrCollapseDiffMenu.collapse":"摺疊所有差異","codex.review.expandOrCollapseDiffMenu.expand":"展開所有差異","codex.review.fileSearch.clear":"清除檔案篩選條件","codex.review.fileSearch.empty":"沒有檔案與目前的篩選器相符。","codex.review.fileSearch.label":"篩選檔案","codex.review.fileSearch.placeholder":"篩選檔案…","codex.review.filesChanged":"{num, plural, =0 {沒有已變更的檔案} other {已變更 # 個檔案}}","codex.review.find.loadMore":"載入更多相符項目","codex.review.fullReview.hideFileTree":"隱藏檔案樹","codex.review.fullReview.showFileTree":"顯示檔案樹","codex.review.header.moreOptions":"審閱選項","codex.review.largeDiff.banner":"偵測到較大差異——一次顯示一個檔案。","codex.review.loadFullFiles.disable":"不要載入完整檔案","codex.review.loadFullFiles.enable":"載入完整檔案","codex.review.noDiff":"檔案變更將顯示在此處","codex.review.noDiff.gitInit.createRepository":"建立 git 儲存庫","codex.review.noDiff.gitInit.creating":"正在建立…","codex.review.noDiff.gitInit.error":"Git 初始化失敗：{message}","codex.review.noDiff.gitInit.success":"已建立 Git 儲存庫","codex.review.noDiff.gitRepoRequired.description":"在此專案中追蹤和撤銷變更","codex.review.noDiff.gitRepoRequired.title":"建立 Git 儲存庫","codex.review.noDiff.orNoLongerAvailable":"或最新的差異已無法使用","codex.review.noDiff.reverted":"上一個輪次已經還原","codex.review.noDiff.revertedOrCommitted":"上一個輪次已經還原或提交","codex.review.refreshGitQueries":"重新整理","codex.review.revert.file.error":"無法還原 {path}","codex.review.revert.file.partialSuccess":"已部分還原 {path}","codex.review.revert.file.success":"已還原 {path}","codex.review.revert.hunk.error":"無法還原 {path} 中的程式碼區塊 {hunkNumber}","codex.review.revert.hunk.partialSuccess":"已部分還原 {path} 中的程式碼區塊 {hunkNumber}","codex.review.revert.hunk.success":"已還原 {path} 中的程式碼區塊 {hunkNumber}","codex.review.revert.section.error":"無法還原區段","codex.review.revert.section.partialSuccess":"已部分還原區段","codex.review.revert.section.success":"已還原區段","codex.review.revertDialog.cancel":"取消","codex.review.revertDialog.confirm":"確認","codex.review.revertDialog.message":"此動作會移除所有變更。","codex.review.revertDialog.skip":"不再詢問","codex.review.revertDialog.title":"是否還原變更？","codex.review.richPreview.disable":"停用豐富預覽","codex.review.richPreview.enable":"啟用豐富預覽","codex.review.source.cloud":"雲端變更","codex.review.source.local.all":"所有分支變更","codex.review.source.local.lastTurn":"最後一輪變更","codex.review.source.local.uncommitted":"未提交的變更","codex.review.source.worktree":"未提交的工作樹變更","codex.review.stageFilter.empty.staged.description":"接受編輯以便暫存","codex.review.stageFilter.empty.staged.title":"沒有已暫存的變更","codex.review.stageFilter.empty.unstaged.description":"程式碼變更將顯示在此處","codex.review.stageFilter.empty.unstaged.title":"沒有已取消暫存的變更","codex.review.stageFilter.staged":"已暫存","codex.review.stageFilter.staged.count":"已暫存 · {count}","codex.review.stageFilter.unstaged":"已取消暫存","codex.review.stageFilter.unstaged.count":"已取消暫存 · {count}","codex.review.switchToSplit":"切換到拆分差異","codex.review.switchToUnified":"切換至整合差異","codex.review.toggleDiffView":"切換差異視圖","codex.review.wordDiffs.disable":"停用字詞差異","codex.review.wordDiffs.enable":"啟用字詞差異","codex.review.wrap.disable":"停用自動換行","codex.review.wrap.enable":"啟用自動換行","codex.section.patch.missing":"無法為此區段建立修補程式。","codex.shell.collapse":"摺疊 Shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"已複製 Shell 内容","codex.shell.copy.copyTooltip":"複製 Shell 内容","codex.shell.copyCommand":"複製指令","codex.shell.copyOutput":"複製輸出","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"展開 Shell","codex.shell.name":"Shell","codex.shell.noOutput":"沒有輸出","codex.signInFailed.message":"登入失敗：{rawMessage}","codex.stories.toast.show":"顯示快顯通知","codex.stories.tooltip.basic":"這是一個工具提示","codex.stories.tooltip.hoverMe":"暫留於此","codex.stories.tooltip.largerOffset":"此工具提示具有更大的偏移量","codex.stories.tooltip.offsetButton":"更大的偏移量","codex.stories.tooltip.shortcutButton":"使用快捷鍵","codex.stories.tooltip.withShortcut":"切換終端","codex.taskRow.title":"新增對話串","codex.taskRowLayout.confirm":"確認","codex.threadFindBar.chatFilter":"搜尋聊天","codex.threadFindBar.close":"關閉尋找","codex.threadFindBar.diffFilter":"搜尋差異","codex.threadFindBar.label":"在對話串中尋找","codex.threadFindBar.nextResult":"下一個結果","codex.threadFindBar.noResults":"0 個結果","codex.threadFindBar.placeholder":"搜尋對話串…","codex.threadFindBar.placeholder.extension":"搜尋對話串…","codex.threadFindBar.placeholder.review":"搜尋差異…","codex.threadFindBar.placeholder.review.extension":"搜尋差異…","codex.threadFindBar.previousResult":"上一個結果","codex.todoPlan.stepIndexPrefix":"{index}。","codex.ui.bulletSeparator":"。","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {已變更 # 個檔案}}","codex.unifiedDiff.inlineLargeFile":"檔案過大，無法內嵌呈現","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"復原","codex.unifiedDiff.revertPatchError":"無法還原變更","codex.unifiedDiff.revertPatchSuccess":"已還原變更","codex.unifiedDiff.reviewChangesSuffix":"變更","codex.unifiedDiff.reviewShort":"審閱","codex.unifiedDiff.viewDiffTooltip":"查看","codex.upsellBanner.business.headline":"若要立即獲得更多存取權，請將要求傳送給你的管理員，或等候至 {resetDate}。","codex.upsellBanner.cbp.headline":"若要立即獲得更多存取權，請將要求傳送給你的管理員。","codex.upsellBanner.cta.addCredits":"新增積分","codex.upsellBanner.cta.upgradeAccount":"升級","codex.upsellBanner.cta.viewUsage":"檢視使用情況","codex.upsellBanner.free.trialHeadline":"你的速率限制將於 {resetDate} 重設。若要繼續使用 Codex 並存取 GPT-5.3-Codex，請立即開始免費試用你的 Plus。","codex.upsellBanner.freeOrGo.headline":"你的速率限制將於 {resetDate} 重設。若要繼續使用 Codex，請立即升級至 Plus。","codex.upsellBanner.general.headline":"你的速率限制將於 {resetDate} 重設。","codex.upsellBanner.general.title":"你的 Codex 訊息傳送額度不足","codex.upsellBanner.go.trialHeadline":"你的速率限制將於 {resetDate} 重設。若要繼續使用 Codex，請立即開始免費試用你的 Plus。","codex.upsellBanner.plus.headline":"你的速率限制將於 {resetDate} 重設。若要繼續使用 Codex，請新增積分或立即升級至 Pro。","codex.upsellBanner.pro.headline":"你的速率限制將於 {resetDate} 重設。請立即新增積分以繼續使用 Codex。","codex.userMessage.autoResolveSync":"自動解決衝突","codex.userMessage.commentCount":"{count, plural, other {# 則評論}}","codex.userMessage.copiedAriaLabel":"已複製","codex.userMessage.copiedTooltip":"已複製","codex.userMessage.copyAriaLabel":"複製訊息","codex.userMessage.copyTooltip":"複製","codex.userMessage.implementPlan":"實作方案","codex.userMessage.noContent":"(沒有內容)","codex.userMessage.priorConversation":"參考之前的對話","codex.userMessage.reviewMode":"審查模式","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"適用於 {query}","codex.webSearch.summary.verb.completed":"已搜尋網頁","codex.webSearch.summary.verb.inProgress":"正在搜尋網頁","codex.windowsInstallWslBanner.dismiss":"解除","codex.windowsInstallWslBanner.installWslCta":"啟用沙箱","codex.windowsInstallWslBanner.learnMore":"深入了解","codex.windowsSandboxBanner.content":"智慧體模式在 Windows 上使用實驗性沙箱來限制檔案系統和網路存取權。{sandboxLink}","codex.windowsSandboxBanner.title":"為智慧體模式啟用沙箱","codex.windowsSubDropdown.windowsSandbox":"Windows 沙箱","codex.windowsSubDropdown.windowsSettings":"Windows 設定","codexUpgradeModal.body":"我們最新的前沿智慧體編碼模型——更聰明、更快速、更擅長通用技術工作。{link}","codexUpgradeModal.close":"關閉","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"深入了解","codexUpgradeModal.title":"介紹 GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"立即試用 GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"繼續使用目前的模型","commentAttachments.numComments":"{count, plural, other {# 則評論}}","commentAttachments.removeAriaLabel":"移除評論附件","common.close":"關閉","composer.addContext.openFilePickerError":"無法開啟檔案選擇器","composer.addContextDropdown.ariaLabel":"新增檔案等更多功能","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"新增檔案等更多功能","composer.addPhotosAndFiles":"新增照片和檔案","composer.atMentionList.emptyQuery":"輸入以搜尋檔案","composer.atMentionList.loading":"正在搜尋…","composer.atMentionList.noResults":"無任何結果","composer.attemptsSelector.option":"{count, plural, other {# 個版本}}","composer.attemptsSelector.tooltip":"Codex 平行嘗試次數","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"停止","composer.cloudFollowUp.cloud":"雲端","composer.cloudFollowUp.local":"本機","composer.cloudFollowUp.whereRun":"應在何處執行這項後續跟進動作？","composer.cloudTaskCreationError":"建立雲端任務時發生錯誤","composer.cloudTaskError":"建立任務時發生錯誤","composer.contextWindow.autoCompactionTooltipLine1":"Codex 會自動壓縮上下文","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"上下文視窗：","composer.contextWindowUsageStatusFull":"{usage}% 滿","composer.contextWindowUsageStatusLeft":"已使用 {usage}%（剩餘 {remaining}%）","composer.contextWindowUsageTooltip":"已使用 {usedTokens}k / {contextWindow}k 個自字元","composer.customCliTooltip":"使用自訂 CLI 可執行檔","composer.dictation.aria":"聽寫","composer.dictation.cancel.aria":"停止聽寫","composer.dictation.cancel.tooltip":"停止聽寫","composer.dictation.startError":"無法開始聽寫","composer.dictation.submit.aria":"轉錄並傳送","composer.dictation.submit.tooltip":"轉錄並傳送","composer.dictation.tooltip":"按住以聽寫","composer.dictation.transcribeError":"無法轉錄音訊","composer.dictation.unsupported":"此裝置無法使用聽寫功能","composer.dropOverlay.holdShift":"按住 {key} 以拖曳","composer.dropOverlay.shiftKey":"Shift 鍵","composer.environmentSelector.createNew":"建立新環境","composer.environmentSelector.error":"載入環境時發生錯誤","composer.environmentSelector.goBack":"返回編輯器","composer.environmentSelector.title":"選取環境","composer.environmentSelector.tooltip":"選取雲端環境","composer.feedbackSlashCommand.title":"回饋","composer.filePicker.selectFile":"選取檔案","composer.filePicker.selectFiles":"選取檔案","composer.followerTooltip":"若要繼續，請返回此對話開始的視窗。","composer.footer.branchSwitch.checkoutError":"無法切換分支：{message}","composer.footer.branchSwitch.createAndCheckout":"建立並檢出新分支…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"提交變更以建立並檢出新分支","composer.footer.branchSwitch.createBranchError":"無法建立分支：{message}","composer.footer.branchSwitch.createDialog.ariaLabel":"分支名稱","composer.footer.branchSwitch.createDialog.branchExistsError":"分支已存在。","composer.footer.branchSwitch.createDialog.close":"關閉","composer.footer.branchSwitch.createDialog.createAndCheckout":"建立與檢出","composer.footer.branchSwitch.createDialog.placeholder":"新分支","composer.footer.branchSwitch.createDialog.title":"建立並檢出分支","composer.footer.branchSwitch.createDialog.trailingSlashError":"分支名稱的結尾不得為「/」","composer.footer.branchSwitch.tooltip":"切換分支","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"提交 {fileCount, plural, other {# 個檔案}} 中的變更以檢出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"提交","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, other {# 個檔案}}中的變更以檢出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.cancel":"取消","composer.footer.branchSwitch.uncommittedDialog.commit":"提交並切換分支…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"你對以下檔案的變更將被檢出覆寫：","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"請提交你的變更以繼續","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"已選取分支","composer.footer.branchSwitch.uncommittedDialog.title":"提交變更以切換分支","composer.footer.branchSwitch.uncommittedSummaryPrefix":"未提交：{fileCount, plural, other {# 個檔案}}","composer.forkSlashCommand.description":"將此對話串分叉到本機或新的工作樹","composer.forkSlashCommand.option.local.description":"在新的本機對話串中繼續","composer.forkSlashCommand.option.local.title":"分叉到本機","composer.forkSlashCommand.option.worktree.description":"在新的工作樹中繼續","composer.forkSlashCommand.option.worktree.title":"分叉到新的工作樹","composer.forkSlashCommand.title":"分叉","composer.ideContextIndicator":"IDE 上下文","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"包含來自 IDE 的上下文","composer.ideContextIndicator.tooltipToggle":"以切換","composer.ideContextSlashCommand.disableDescription":"關閉 IDE 上下文","composer.ideContextSlashCommand.enableDescription":"來自 IDE 的目前選取項目、開啟的檔案和其他上下文","composer.ideContextSlashCommand.title":"IDE 上下文","composer.imageInputsUnsupported":"此模型不支援圖像輸入。請嘗試其他模型。","composer.imageUploadFailed":"無法上傳圖像","composer.includeIdeContextDropdown":"包括 IDE 上下文","composer.includeIdeContextDropdown.ariaLabel":"包括 IDE 上下文","composer.localCwdDropdown.addWorkspaceRoot":"新增新的專案","composer.localCwdDropdown.noActiveRoot":"選取你的專案","composer.localCwdDropdown.noResults":"找不到資料夾","composer.localCwdDropdown.title":"選取你的專案","composer.localTaskError":"開始對話時發生錯誤","composer.mcpSlashCommand.description":"顯示 MCP 伺服器狀態","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"未通過身分驗證","composer.mcpStatus.authOauth":"已通過身分驗證 (OAuth)","composer.mcpStatus.authToken":"已通過身分驗證（API 金鑰）","composer.mcpStatus.authUnsupported":"標準輸入/輸出","composer.mcpStatus.close":"關閉","composer.mcpStatus.disabled":"已停用","composer.mcpStatus.emptyLabel":"伺服器：","composer.mcpStatus.emptyValue":"未設定 MCP 伺服器","composer.mcpStatus.enabled":"已啟用","composer.mcpStatus.errorLabel":"狀態：","composer.mcpStatus.errorValue":"無法載入 MCP 狀態","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"代理程式","composer.mode.agentMode.auto.dropdownLabel":"代理程式","composer.mode.agentMode.auto.optionLabel":"代理程式","composer.mode.agentMode.changePermission":"切換模式","composer.mode.agentMode.custom":"自訂","composer.mode.agentMode.custom.dropdownLabel":"自訂","composer.mode.agentMode.custom.option":"自訂 (config.toml)","composer.mode.agentMode.custom.optionLabel":"自訂 (config.toml)","composer.mode.agentMode.customInfo.cancel":"取消","composer.mode.agentMode.customInfo.cli":"你可以從 CLI 或透過直接編輯檔案調整這些設定。","composer.mode.agentMode.customInfo.confirm":"使用自訂模式","composer.mode.agentMode.customInfo.description":"自訂模式套用你在 config.toml 檔案中定義的核准和<link>沙箱</link>政策。","composer.mode.agentMode.customInfo.docs":"深入了解執行環境文件中的設定核准<link>和沙箱政策</link>。","composer.mode.agentMode.customInfo.refresh":"任何變更將在下次執行代理程式時生效。","composer.mode.agentMode.customInfo.title":"自訂模式如何運作","composer.mode.agentMode.fullAccess":"代理程式（完整存取權）","composer.mode.agentMode.fullAccess.dropdownLabel":"代理程式（完整存取權）","composer.mode.agentMode.fullAccess.optionLabel":"代理程式（完整存取權）","composer.mode.agentMode.fullAccessConfirm.caution":"啟用完整存取權時請務必謹慎。這會大幅增加資料遺失、外洩或出現意外行為的風險。","composer.mode.agentMode.fullAccessConfirm.confirm":"是的，仍要繼續","composer.mode.agentMode.fullAccessConfirm.description":"當 Codex 以完整存取權執行時，它無需經過你的核准即可編輯你電腦上的任何檔案並透過網路執行指令。","composer.mode.agentMode.fullAccessConfirm.goBack":"取消","composer.mode.agentMode.fullAccessConfirm.title":"是否啟用完整存取權？","composer.mode.agentMode.readOnly":"聊天","composer.mode.agentMode.readOnly.dropdownLabel":"聊天","composer.mode.agentMode.readOnly.optionLabel":"聊天","composer.mode.agentMode.tooltip":"切換模式","composer.mode.agentMode.tooltip.auto":"讀取和編輯檔案以及執行指令。","composer.mode.agentMode.tooltip.custom":"使用 config.toml 中定義的最新核准和沙箱政策。","composer.mode.agentMode.tooltip.fullAccess":"Codex 可以編輯此專案以外的檔案，並可透過網路存取權執行指令。使用時請務必謹慎。","composer.mode.agentMode.tooltip.readOnly":"需要核准才能編輯檔案和執行指令。","composer.mode.cloud.tooltip":"在雲端環境工作","composer.mode.contactAdmin":"如需取得更多存取權，請聯絡你的管理員。","composer.mode.local":"本機","composer.mode.local.learnMore":"深入了解","composer.mode.local.model.custom":"自訂","composer.mode.local.model.loadingModel":"正在載入模型","composer.mode.local.model.selecrReasoningEffort":"選取推理","composer.mode.local.model.selectModel":"選取模型","composer.mode.local.model.tooltip":"選擇模型","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"高","composer.mode.local.reasoning.low.label":"低","composer.mode.local.reasoning.medium.label":"中","composer.mode.local.reasoning.minimal.label":"最小","composer.mode.local.reasoning.none.label":"無","composer.mode.local.reasoning.xhigh.label":"超高","composer.mode.localRemoteWhereRun":"選取任務執行位置","composer.mode.newTask.header":"繼續","composer.mode.rateLimit.day":"{days} 天","composer.mode.rateLimit.heading":"剩餘的速率限制","composer.mode.rateLimit.hour":"{hours} 小時","composer.mode.rateLimit.minute":"{minutes} 分","composer.mode.rateLimit.modelSectionLabel":"{modelName} 限額：","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} 週限額}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} 週}}","composer.mode.remote.connectToCloud":"連接 Codex 網頁","composer.mode.remote.connectToCloudDisabledTooltip":"透過 Codex 網頁設定環境以將任務傳送到雲端","composer.mode.remote.selectEnvironment":"選取環境","composer.mode.remote.sendToCloud":"傳送到雲端","composer.mode.remote.setupViaWeb":"透過 Codex 網頁設定環境","composer.mode.runInCloud":"雲端","composer.mode.runInCloudWithEnvironment":"雲端 · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"在雲端環境工作","composer.mode.segmentedToggle.local.tooltip":"在你的本機專案中工作","composer.mode.segmentedToggle.worktree.tooltip":"在平行工作樹工作","composer.mode.upgradeToPlus":"升級為 Plus","composer.mode.upgradeToPro":"升級為 Pro","composer.mode.workLocally":"本機專案","composer.mode.workLocally.currentBranchFallback":"你的分支","composer.mode.workLocally.tooltip":"在 {branchName} 上工作","composer.mode.worktree":"新工作樹","composer.mode.worktree.submoduleWarning":"此儲存庫包含 git 子模組。工作樹建立可能會失敗","composer.mode.worktree.tooltip":"建立本機專案的副本以平行工作","composer.mode.worktreeSegment":"工作樹","composer.modelChangeDuringConversationWarning.toast":"在對話中變更模型會降低效能。","composer.newChat.heading.browser":"下一步該編寫什麽程式？","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex 使用 config.toml 中定義的權限。","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex 擁有電腦的完整存取權（風險較高）","composer.permissionsDropdown.custom.label":"自訂 (config.toml)","composer.permissionsDropdown.custom.optionLabel":"自訂 (config.toml)","composer.permissionsDropdown.default.label":"預設權限","composer.permissionsDropdown.default.optionLabel":"預設權限","composer.permissionsDropdown.default.tooltip":"Codex 會自動在沙箱中執行命令","composer.permissionsDropdown.disabled.requirements":"權限已被 requirements.toml 鎖定","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml 檔案中已停用完整存取權","composer.permissionsDropdown.fullAccess.label":"完整存取權","composer.permissionsDropdown.fullAccess.optionLabel":"完整存取權","composer.permissionsDropdown.trigger.tooltip":"變更權限","composer.personalitySlashCommand.description.friendly":"熱情、協作、樂於助人","composer.personalitySlashCommand.description.pragmatic":"簡潔、以任務為中心、直接","composer.personalitySlashCommand.label.friendly":"友善","composer.personalitySlashCommand.label.pragmatic":"務實","composer.personalitySlashCommand.notApplicableSuffix":"（不要套用至目前的模型）","composer.personalitySlashCommand.title":"性格","composer.placeholder.cloudFollowUp.directFollowUp":"後續跟進此雲端任務","composer.placeholder.cloudFollowUp.local":"建立參考此雲端任務的新本機任務","composer.placeholder.cloudFollowUp.workingTree":"建立一個包含目前程式碼並將參考此任務的新雲端任務","composer.placeholder.localFollowUp.cloud":"在新雲端任務中進行後續跟進","composer.placeholder.localFollowUp.locally":"要求後續跟進變更","composer.placeholder.newTask.cloud":"要求 Codex 在雲端做任何事","composer.placeholder.newTask.doAnything":"要求 Codex 做任何事","composer.placeholder.newTask.locally":"詢問 Codex 任何事，使用 @ 新增檔案，使用 / 輸入命令","composer.planModeDropdown":"規劃模式","composer.planModeDropdown.ariaLabel":"規劃模式","composer.planModeIndicator":"方案","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"使用 Codex 制定方案","composer.planModeIndicator.tooltipToggle":"以切換","composer.planSlashCommand.disableDescription":"關閉規劃模式","composer.planSlashCommand.enableDescription":"開啟規劃模式","composer.planSlashCommand.title":"規劃模式","composer.priorContext.label":"上一個上下文","composer.priorContext.removeAriaLabel":"移除上一個上下文","composer.queuedMessage.delete":"刪除已排入佇列的訊息","composer.queuedMessage.edit":"編輯訊息","composer.queuedMessage.more":"已排入佇列的訊息動作","composer.queuedMessage.sendNow":"引導","composer.queuedMessage.sendNowTooltip":"立即傳送，不要中斷工作","composer.queuedMessage.turnOff":"關閉排入佇列功能","composer.reasoningEffort.local.reasoning.tooltip":"選取推理程度","composer.remote.branchStartingPoint":"此任務應從哪個分支開始？","composer.remote.branchesSectionHeading":"分支","composer.remote.currentEditsSuffix.followUp":"建立參考此雲端任務的新任務。","composer.remote.currentEditsSuffix.useLocal":"包含本機程式碼變更","composer.remote.directFollowUp":"不要使用本機變更","composer.remote.errorLoadingBranches":"載入分支時發生錯誤","composer.remote.fromBranch":"來自 {branch}","composer.remote.fromCurrentBranch":"來自 {branch}（目前）","composer.remote.loadingMoreBranches":"正在載入…","composer.remote.localFileStateHeading":"本機檔案狀態","composer.remote.localWorkingTree":"使用本機變更","composer.remote.startingPoint":"任務該從哪段程式碼開始？","composer.reviewMode.branches.error":"無法載入分支","composer.reviewMode.branches.retry":"重試","composer.reviewMode.gitRoot.error":"找不到 Git 根目錄","composer.reviewMode.option.baseBranch.simple":"針對基礎分支的審查","composer.reviewMode.option.unstaged.simple":"審查未提交的變更","composer.reviewMode.quickReviewError":"無法啟動程式碼審查。","composer.reviewMode.title":"程式碼審查","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml 檔案中已停用完整存取權","composer.sandboxButton.windowsSandboxDialog.content":"Codex 在 Windows 上使用實驗性沙箱來限制檔案系統和網路存取權。{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"是否啟用 Windows 沙箱？","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"使用唯讀","composer.searchEnvironments":"搜尋環境","composer.skillMentionList.app":"應用程式","composer.skillMentionList.loading":"正在載入技能…","composer.skillMentionList.noResults":"找不到技能","composer.slashCommands.cloudEnvironment.title":"雲端環境","composer.slashCommands.dialogLabel":"正斜線指令功能表","composer.slashCommands.dialogTitle":"正斜線指令","composer.slashCommands.disabledTooltip":"開始新的對話以使用正斜線指令","composer.slashCommands.inputPlaceholder":"搜尋","composer.slashCommands.noResults":"沒有指令","composer.slashCommands.skillsGroup":"技能","composer.slashCommands.tooltip":"瀏覽正斜線指令","composer.status.close":"關閉","composer.statusPlain.alertLabel":"警示：","composer.statusPlain.alertValue":"{window} 剩餘 {remaining}%","composer.statusPlain.contextLabel":"上下文：","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"（已使用 {used}，總計 {total}）","composer.statusPlain.contextValueRemaining":"剩餘 {remaining}%","composer.statusPlain.heading":"狀態","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} 限額：","composer.statusPlain.rateLimitDays":"{count} 天限額","composer.statusPlain.rateLimitFallbackLabel":"速率限制：","composer.statusPlain.rateLimitHours":"{count} 小時限額","composer.statusPlain.rateLimitLabelBase":"速率限制","composer.statusPlain.rateLimitMinutes":"{count} 分鍾限額","composer.statusPlain.rateLimitPercent":"剩餘 {remaining}%","composer.statusPlain.rateLimitReset":"重設時間 {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"無法重設時間","composer.statusPlain.rateLimitUnavailable":"無法使用","composer.statusPlain.sessionCopiedAriaLabel":"已複製工作階段 ID","composer.statusPlain.sessionCopiedTooltip":"已複製 ID","composer.statusPlain.sessionCopyAriaLabel":"複製工作階段 ID","composer.statusPlain.sessionCopyTooltip":"複製 ID","composer.statusPlain.sessionLabel":"工作階段：","composer.statusSlashCommand.description":"顯示對話串 ID、上下文使用情況，以及速率限制","composer.statusSlashCommand.title":"狀態","composer.submit.blockedDialogOk":"確定","composer.submit.blockedDialogTitle":"無法傳送訊息","composer.submit.emptyMessage":"輸入訊息以開始使用","composer.submit.imageInputsUnsupported":"移除圖像或切換模型以傳送此訊息。","composer.submit.loadingLocalConfig":"正在載入…","composer.submit.missingCloudConfig":"你必須選擇一個雲端環境","composer.submit.missingCloudTurn":"無法後續跟進此任務","composer.submit.noWorkspace":"新增專案以使用 Codex","composer.submit.waitForImageUploads":"正在上傳圖像…","composer.submitButtonTooltip.send":"傳送","composer.submitButtonTooltip.stop":"停止","composer.worktreeEnvironment.create":"建立本機環境","composer.worktreeEnvironment.default":"預設環境","composer.worktreeEnvironment.error":"載入環境時發生錯誤","composer.worktreeEnvironment.loading":"正在載入環境…","composer.worktreeEnvironment.title":"本機環境","composer.worktreeEnvironment.tooltip":"選取本機環境","composer.worktreeSetupFailed":"工作樹設定失敗。請檢查 .codex/environments 獲取設定指令碼。","compoundButton.secondaryAction":"次要動作","copyButton.copied":"已複製","copyButton.copiedAriaLabel":"已複製","copyButton.copy":"複製","copyButton.copyAriaLabel":"複製","copyButton.copyCode":"複製代碼","diff.actionButton.revertFile":"還原檔案","diff.actionButton.revertHunk":"還原","diff.actionButton.revertSection":"全部還原","diff.actionButton.revertSectionLabel":"全部還原","diff.actionButton.stageFile":"暫存檔案","diff.actionButton.stageHunk":"暫存","diff.actionButton.stageSection":"全部暫存","diff.actionButton.stageSectionLabel":"全部暫存","diff.actionButton.unstageFile":"取消暫存檔案","diff.actionButton.unstageHunk":"取消暫存","diff.actionButton.unstageSection":"全部取消暫存","diff.actionButton.unstageSectionLabel":"全部取消暫存","diff.fileHeader.toggle":"切換檔案差異","electron.onboarding.login.apikey.cancel":"取消","electron.onboarding.login.apikey.continue":"繼續","electron.onboarding.login.apikey.label":"OpenAI API 金鑰","electron.onboarding.login.apikey.open":"輸入 API 金鑰","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"取消登入","electron.onboarding.login.chatgpt.continue":"使用 ChatGPT 帳戶登入","electron.onboarding.login.devbox":"連接到遠端 SSH","electron.onboarding.login.error":"登入失敗：{rawMessage}","electron.onboarding.login.snake.start":"玩貪貪蛇","electron.onboarding.login.sshConfig.cancel":"取消","electron.onboarding.login.sshConfig.continue":"繼續","electron.onboarding.login.sshConfig.hostnameLabel":"SSH 主機名稱","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"與代理程式合作的最佳方式","electron.onboarding.login.title":"歡迎使用 Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"繼續","electron.onboarding.welcome.doubleLimits.description":"為了慶祝 Codex 應用程式的發佈，在 4 月 2 日之前，你的速率限制將提高 2 倍。","electron.onboarding.welcome.freego.description":"Codex 已免費包含在你的計劃中，有效期至 3 月 2 日——讓我們一起開始建立。","electron.onboarding.welcome.new.title.anon":"歡迎！","electron.onboarding.workspace.continue":"繼續","electron.onboarding.workspace.empty":"新增專案以繼續。","electron.onboarding.workspace.listLabel":"可用專案","electron.onboarding.workspace.loading":"正在載入專案…","electron.onboarding.workspace.openFolder":"新增專案","electron.onboarding.workspace.selectAll":"全部選取","electron.onboarding.workspace.skip":"跳過","electron.onboarding.workspace.skip.error":"無法建立新專案：{message}","electron.onboarding.workspace.skip.error.unknown":"未知的錯誤","electron.onboarding.workspace.skipping":"正在建立新的專案…","electron.onboarding.workspace.subtitle":"Codex 將能夠編輯選取資料夾中的檔案並執行命令。","electron.onboarding.workspace.title":"選取專案","errorPage.list.checkSettings":"嘗試更新你的 IDE 設定","errorPage.list.configToml":"檢查你的 config.toml 檔案是否有無效設定","errorPage.list.downloadExtension":"嘗試下載擴充功能的其他版本","errorPage.list.runInWsl":"如果遇到相容性問題，請檢查你的設定以停用在 WSL 中執行","execApprovalRequest.menu.runAlways":"是的，此工作階段不要再詢問","execApprovalRequest.menu.runAlwaysWithAmendment":"是的，請不要再詢問以 {command} 開始的命令了","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"是的，請不要再詢問以以下形式開始的命令了：","execApprovalRequest.menu.runOnce":"是","execApprovalRequest.prompt":"你想要執行此命令嗎？","execApprovalRequest.reject":"否","execFooter.exitCode":"離開代碼 {code}","execFooter.exitCode.unknown":"未知","execFooter.success":"成功","feedback.dialog.category.badResult":"結果不佳","feedback.dialog.category.bug":"錯誤","feedback.dialog.category.goodResult":"結果良好","feedback.dialog.category.other":"其他","feedback.dialog.descriptionPlaceholder":"請在此處說明問題","feedback.dialog.dismiss":"解除","feedback.dialog.includeLogsLabel":"包含目前 Codex 工作階段記錄檔","feedback.dialog.submit":"提交","feedback.dialog.submitError":"我們無法提交你的回饋。請稍後再試一次。","feedback.dialog.title":"回饋","feedback.dialog.uploadedMessage.existingIssue":"現有的未解決問題","feedback.dialog.uploadedMessage.openIssue":"開啟 GitHub 問題","feedback.dialog.uploadedMessage.withThread":"已上傳回饋。如果問題仍然存在，請 {openIssueLink} 或在 {existingIssueLink} 中提及對話串 ID：","feedback.dialog.uploadedTitle":"已上傳回饋","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"移除 {filename}","header.back":"上一步","header.recentChats":"任務","header.recentTasks.seeAll":"檢視全部({total})","home.header.getPlus":"取得 Plus 版本","home.hero.letsBuild":"讓我們開始建立吧","homePage.mainContent":"主目錄","imageAttachment.defaultName":"圖像","imageAttachment.preview.close":"關閉圖像預覽","imageAttachment.removeAriaLabel":"移除 {filename}","implementPlanRequest.option.implement":"是的，實作此方案","implementPlanRequest.prompt":"是否實作此方案？","inbox.archived.deleteError":"無法刪除已封存的執行結果","inbox.archived.deleteRun":"刪除已封存的執行結果","inbox.archived.deleteSuccess":"已刪除封存的對話串。在<settingsLink>已封存對話串</settingsLink>中檢視。","inbox.archived.inlineLabel.auto":"此對話串已自動封存。<learnMoreLink>深入了解</learnMoreLink>","inbox.archived.inlineLabel.manual":"此對話串已封存。","inbox.archived.noMessageFound":"找不到訊息","inbox.automations.createError":"無法建立自動化","inbox.automations.deleteConfirm.cancel":"取消","inbox.automations.deleteConfirm.confirm":"刪除自動化","inbox.automations.deleteConfirm.description":"這將永久刪除自動化並停止任何未來的執行動作。","inbox.automations.deleteConfirm.title":"刪除 {name}？","inbox.automations.deleteError":"無法刪除自動化","inbox.automations.editTooltip":"編輯自動化","inbox.automations.inProgress":"處理中","inbox.automations.new":"新增","inbox.automations.newToolbar":"新增自動化","inbox.automations.pauseTooltip":"暫停自動化","inbox.automations.resumeTooltip":"恢復自動化","inbox.automations.startingNow":"立即開始","inbox.automations.startsIn":"在 {startTime} 後開始","inbox.automations.status.active":"使用中","inbox.automations.status.paused":"已暫停","inbox.automations.status.runs":"{count} 次執行","inbox.automations.status.started":"已開始 {date}","inbox.automations.updateError":"無法更新自動化","inbox.automations.workspaceFallback":"-","inbox.filter.all":"全部","inbox.filter.ariaLabel":"篩選收件匣項目","inbox.filter.unread":"未讀","inbox.list.archived":"已封存","inbox.list.inProgress":"處理中","inbox.list.recent":"已完成","inbox.list.upNext":"已排程","inbox.mode.automations":"自動化","inbox.mode.automations.beta":"Beta","inbox.noDescription":"沒有提供描述","inbox.openThread":"開啟對話串","inbox.rightPanel.emptySubtitle":"透過設定排程任務來自動化工作","inbox.rightPanel.emptySubtitle.learnMore":"透過設定排程對話串來自動化工作。<link>深入了解</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# 個使用中的自動化}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"沒有未讀自動化","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# 個未讀自動化}}","inbox.rightPanel.emptyTitle":"沒有選取的項目","inbox.rightPanel.noThread":"此項目沒有對話串","inbox.rightPanel.quickStart.header":"從範本開始","inbox.untitled":"無標題收件匣項目","loadingPage.documentationLink":"文件","loadingPage.errorDescription":"Codex 由於以下錯誤而當機：","loadingPage.errorDescription.documentation":"按一下重新載入以重新啟動 Codex 擴充功能，或造訪我們的 {documentationLink} 以獲得其他協助。","loadingPage.errorSignal":"可以嘗試以下方法：","loadingPage.errorTitle":"發生錯誤","loadingPage.openConfigToml":"開啟 Config.toml","loadingPage.reload":"重新載入","localConversation.contextCompacted":"上下文已自動壓縮","localConversation.contextCompacting":"正在自動壓縮上下文","localConversation.forkedFromConversation":"從 {threadTitle} 分叉","localConversation.merge.autoResolve.failed":"無法要求自動解決：{error}","localConversation.merge.autoResolve.sent":"已傳送自動解決要求","localConversation.merge.autoResolveMerge.missingConversation":"沒有使用中的對話，無法自動解決。","localConversation.merge.autoResolveMerge.request":"自動解決合併衝突","localConversation.modelChanged":"模型已從 {fromModel} 變更為 {toModel}。","localConversation.modelChanged.warning.line1":"在對話中變更模型會降低效能。","localConversation.modelChanged.warning.line2":"上下文可能會自動壓縮。","localConversation.moveThread.createBranch.label":"建立分支","localConversation.moveToLocal.disabled.loading":"正在載入…","localConversation.moveToLocal.modal.continue":"繼續","localConversation.moveToLocal.modal.destinationLabel":"移至","localConversation.moveToLocal.modal.retry":"重試","localConversation.moveToWorktree.modal.back":"上一步","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"分支已存在。","localConversation.moveToWorktree.modal.branchesError":"無法載入分支","localConversation.moveToWorktree.modal.branchesLoading":"正在載入分支…","localConversation.moveToWorktree.modal.branchesRetry":"重試","localConversation.moveToWorktree.modal.continue":"繼續","localConversation.moveToWorktree.modal.retry":"重試","localConversation.moveToWorktree.modal.trailingSlashError":"分支名稱的結尾不得為「/」","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"新分支","localConversation.personalityChanged":"已切換到 {personality} 性格","localConversation.planSummary.collapse":"摺疊方案摘要","localConversation.planSummary.collapseTooltip":"摺疊","localConversation.planSummary.download":"下載方案","localConversation.planSummary.expand":"展開方案摘要","localConversation.planSummary.expandTooltip":"展開","localConversation.planSummary.openInNewWindow":"開啟","localConversation.planSummary.openInNewWindow.tooltip":"在新視窗中開啟","localConversation.planSummary.title":"方案","localConversation.planSummary.titleWriting":"正在編寫方案","localConversation.planSummary.viewPlan":"展開方案","localConversation.remoteTaskCreated":"已在 Codex 雲端建立 {taskLink}","localConversation.remoteTaskCreated.task":"任務","localConversation.scrollToBottomButton":"捲動至底部","localConversation.sync.buttonLabel":"移交至本機處理","localConversation.sync.buttonLabel.tooltip":"在此工作樹和本機檢出之間移交變更。","localConversation.sync.modal.loading.title":"正在移交變更…","localConversation.sync.modal.noChanges":"沒有變更","localConversation.syncSetup.branchAriaLabel":"分支名稱","localConversation.syncSetup.branchName":"分支名稱","localConversation.syncSetup.branchPlaceholder.existing":"選取現有分支","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"正在載入分支…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"已檢出","localConversation.syncSetup.checkoutClean":"目前在 {branchName}","localConversation.syncSetup.checkoutDirty":"目前位於 {branchName}，但有未提交的變更","localConversation.syncSetup.checkoutError":"無法檢出分支：{message}","localConversation.syncSetup.checkoutLabel":"立即檢出到本機","localConversation.syncSetup.checkoutOnLocal":"移交至本機處理","localConversation.syncSetup.checkoutPending":"正在檢出本機狀態…","localConversation.syncSetup.checkoutUnavailable":"本機工作空間無法使用","localConversation.syncSetup.checkoutUnknown":"本機分支無法使用","localConversation.syncSetup.continue":"繼續","localConversation.syncSetup.createBranchError":"無法設定處理分支：{message}","localConversation.syncSetup.error":"發生問題：{message}","localConversation.syncSetup.error.workingTreeMissing":"無法建立工作樹快照。請重試移交。","localConversation.syncSetup.mode.ariaLabel":"選取分支模式","localConversation.syncSetup.mode.existing":"現有分支","localConversation.syncSetup.mode.new":"新增分支","localConversation.syncSetup.noBranches":"找不到分支","localConversation.syncSetup.overwriteError":"分支已建立但尚未完整移交。請在本機檢出之前手動移交。","localConversation.syncSetup.setPrefix":"設定前綴","localConversation.syncSetup.subtitle":"在本機測試與編輯工作樹變更。<a>深入了解</a>","localConversation.syncSetup.success.checkedOut":"已建立分支並已檢出到本機","localConversation.syncSetup.success.notCheckedOut":"已建立分支","localConversation.syncSetup.title":"移交至本機分支處理","localConversation.syncWorktreeError.branchAriaLabel":"分支名稱","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"選擇要移交的分支，然後重試載入變更。","localConversation.syncWorktreeError.branchSetup.title":"更新分支","localConversation.syncWorktreeError.branchUpdate.cta":"更新並重試","localConversation.syncWorktreeError.branchUpdate.error":"無法更新分支：{message}","localConversation.syncWorktreeError.branchUpdate.unknown":"發生問題：{message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"分支未檢出到任何工作樹。","localConversation.syncWorktreeV2.applyUncommitted":"套用","localConversation.syncWorktreeV2.applyUncommitted.disabled":"你必須在本機檢出分支才能套用未提交的變更","localConversation.syncWorktreeV2.branches.empty":"找不到分支","localConversation.syncWorktreeV2.branches.loading":"正在載入分支…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"變更移交分支","localConversation.syncWorktreeV2.changeBranch.error":"無法變更移交分支：{message}","localConversation.syncWorktreeV2.commandError.action.apply":"套用失敗","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"覆寫工作樹失敗","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"覆寫本機失敗","localConversation.syncWorktreeV2.commandError.back":"上一步","localConversation.syncWorktreeV2.commandError.body":"移交過程中 git 命令失敗。請查看輸出並重試。","localConversation.syncWorktreeV2.commandError.retry":"重試","localConversation.syncWorktreeV2.description":"在本機和此工作樹之間移交變更 <a>深入了解</a>。","localConversation.syncWorktreeV2.direction.ariaLabel":"選取移交方向","localConversation.syncWorktreeV2.error.generic":"移交時發生問題。請再試一次。","localConversation.syncWorktreeV2.localBranchLabel":"本機","localConversation.syncWorktreeV2.noChanges":"正在運算變更","localConversation.syncWorktreeV2.noChanges.summary":"沒有變更","localConversation.syncWorktreeV2.overwrite.local":"覆寫本機","localConversation.syncWorktreeV2.overwrite.worktree":"覆寫工作樹","localConversation.syncWorktreeV2.partial.action.applyFailed":"無法套用變更","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"無法覆寫本機變更","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"無法覆寫工作樹變更","localConversation.syncWorktreeV2.partial.appliedLabel":"已套用","localConversation.syncWorktreeV2.partial.back":"上一步","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"解決衝突並再試一次。","localConversation.syncWorktreeV2.partial.conflictsLabel":"衝突","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# 個檔案}}","localConversation.syncWorktreeV2.partial.retry":"重試","localConversation.syncWorktreeV2.partial.skippedLabel":"已略過","localConversation.syncWorktreeV2.stateFailed.generic":"擷取要移交的工作樹變更時發生問題。請再試一次。","localConversation.syncWorktreeV2.stateFailed.title":"無法載入工作樹變更","localConversation.syncWorktreeV2.statusError.diffUnknown":"無法載入工作樹變更。","localConversation.syncWorktreeV2.statusError.retry":"重試","localConversation.syncWorktreeV2.statusError.title":"無法載入本機分支變更","localConversation.syncWorktreeV2.statusError.unknown":"分支狀態目前無法使用。請再試一次。","localConversation.syncWorktreeV2.success.apply":"已成功套用變更","localConversation.syncWorktreeV2.success.overwrite":"移交成功","localConversation.syncWorktreeV2.title":"移交變更","localConversation.syncWorktreeV2.worktreeLabel":"工作樹","localConversation.userInputRequest.inProgress":"正在詢問 {count, plural, other {個問題}}","localConversation.userInputRequest.noAnswer":"沒有提供回答","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"已詢問","localConversation.userInputRequest.summary.count":"{count, plural, other {# 個問題}}","localConversation.workedFor":"適用於 {time}","localConversation.worktreeBranchSetup.action.create":"建立","localConversation.worktreeBranchSetup.branchAriaLabel":"分支名稱","localConversation.worktreeBranchSetup.branchPlaceholder.new":"建立新分支","localConversation.worktreeBranchSetup.checkoutDisabled":"此分支已在 {location} 檢出","localConversation.worktreeBranchSetup.checkoutError":"無法檢出分支：{message}","localConversation.worktreeBranchSetup.createBranchError":"無法設定分支：{message}","localConversation.worktreeBranchSetup.error":"發生問題：{message}","localConversation.worktreeBranchSetup.subtitle":"從此工作樹建立分支以提交變更、推播，以及建立 PR。 <a>深入了解</a>","localConversation.worktreeBranchSetup.title":"在此處工作","localConversationPage.addWorktreeToSidebar.tooltip":"另存為專案，這樣你就可以從此工作樹啟動新的對話串","localConversationPage.addWorktreeToSidebarError":"無法新增專案","localConversationPage.commitAndCreatePrModal.errorTitle":"提交和建立 PR 失敗","localConversationPage.commitAndCreatePrModal.successTitle":"已提交並建立 PR","localConversationPage.commitAndPushModal.errorTitle":"提交和推播失敗","localConversationPage.commitAndPushModal.successTitle":"已提交並推播變更","localConversationPage.commitCreatePr.open":"開啟擷取要求","localConversationPage.commitCreatePr.successTitle":"已使用你的最新變更建立 PR","localConversationPage.createBranchButtonLabel":"在此處分支","localConversationPage.createPrModal.baseBranch":"基礎","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"建立 PR","localConversationPage.createPrModal.createDescription":"為你的最新變更開啟擷取要求。","localConversationPage.createPrModal.errorTitle":"擷取要求失敗","localConversationPage.createPrModal.headBranch":"頭","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"開啟 PR","localConversationPage.createPrModal.successTitle":"已建立擷取要求","localConversationPage.createPrModal.title":"建立擷取要求","localConversationPage.createPrModal.viewDescription":"此分支已存在擷取要求。","localConversationPage.createPrModal.viewTitle":"擷取要求準備就緒","localConversationPage.createPullRequestAuthGh":"驗證 GitHub CLI：執行 `gh auth login`","localConversationPage.createPullRequestBranchMissing":"無法使用分支資訊","localConversationPage.createPullRequestButtonLabel":"建立 PR","localConversationPage.createPullRequestButtonLabel.loading":"正在建立 PR…","localConversationPage.createPullRequestDefaultBranchMissing":"無法使用預設分支資訊","localConversationPage.createPullRequestError":"無法建立擷取要求","localConversationPage.createPullRequestExistingPullRequest":"此分支已存在擷取要求","localConversationPage.createPullRequestGhStatusMissing":"正在載入 Github CLI 狀態…","localConversationPage.createPullRequestInstallGh":"安裝 GitHub CLI (gh) 以建立 PR","localConversationPage.createPullRequestNoRepo":"找不到 git 儲存庫","localConversationPage.createPullRequestPushStatusMissing":"正在載入推播狀態…","localConversationPage.createPullRequestSetUpstream":"建立 PR 前推播此分支","localConversationPage.createPullRequestSuccessToast":"已建立擷取要求","localConversationPage.createPullRequestSwitchBranch":"建立 PR 前檢出功能分支","localConversationPage.error.render":"呈現本機對話時發生錯誤","localConversationPage.error.toast":"找不到對話","localConversationPage.forcePushError":"無法強制推播","localConversationPage.generatePullRequestMessageError":"無法產生擷取要求標題和內文","localConversationPage.generatePullRequestMessageFailed":"無法產生擷取要求標題和內文。","localConversationPage.gitActionResult.branch":"分支","localConversationPage.gitActionResult.cancel":"取消","localConversationPage.gitActionResult.close":"關閉","localConversationPage.gitActionResult.tryAgain":"再試一次","localConversationPage.gitActions":"Git 動作","localConversationPage.newChat":"新聊天","localConversationPage.openInTarget":"開啟","localConversationPage.openPrimaryTarget":"開啟","localConversationPage.planItemsCompleted":"共 {totalItems, plural, other {# 項任務}}，已完成 {completedItems} 項","localConversationPage.pushAuthError":"推播失敗：要求使用驗證","localConversationPage.pushBranchMissing":"無法使用分支資訊","localConversationPage.pushButtonLabel":"推播","localConversationPage.pushButtonLabel.loading":"正在推播…","localConversationPage.pushError":"無法推播變更","localConversationPage.pushModal.branchLabel":"分支","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"取消","localConversationPage.pushModal.confirm":"推播","localConversationPage.pushModal.description":"將你的最新提交推播到遠端儲存庫。","localConversationPage.pushModal.errorTitle":"推播失敗","localConversationPage.pushModal.forcePush":"強制推播","localConversationPage.pushModal.successTitle":"推播完成","localConversationPage.pushModal.title":"推播變更","localConversationPage.pushModal.tryAgain":"再試一次","localConversationPage.pushNoUpstream":"在推播此分支之前設定上游分支","localConversationPage.pushNoUpstreamError":"推播失敗：未設定上游","localConversationPage.pushNothingToPush":"沒有要推播的新提交","localConversationPage.pushRemoteChangedError":"推播失敗：遠端有新的提交","localConversationPage.pushRemoteRejectedError":"推播已被遠端拒絕","localConversationPage.pushStatusMissing":"正在載入推播狀態…","localConversationPage.pushSuccessToast":"已推播變更","localConversationPage.viewPullRequestButtonLabel":"檢視 PR","localConversationPage.viewPullRequestButtonLabel.loading":"正在載入擷取要求…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# 個檔案}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# 份清單}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# 次搜尋}}</countText>","localConversationTurn.exploration.accordion.count.separator":"，","localConversationTurn.exploration.accordion.header.active":"正在探索","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"已探索","localConversationTurn.exploration.accordion.header.complete.withCounts":"已探索 {counts}","localConversationTurnStory.showContent":"顯示內容","localConversationTurnStory.streamContent":"串流內容","localConversationTurnStory.toggleReasoning":"顯示推理","localTaskRow.archiveError":"無法封存對話","localTaskRow.resumeError":"無法繼續任務","mermaidDiagram.ariaLabel":"美人魚圖表","mermaidDiagram.copySource":"複製 Mermaid","mermaidDiagram.originalCode":"美人魚原始程式碼","notifications.permissions.description":"當需要通知權限時顯示提醒","notifications.permissions.label":"啟用權限通知","notifications.turnMode.always":"一律如此","notifications.turnMode.description":"設定 Codex 完成通知時間","notifications.turnMode.label":"切換完成通知","notifications.turnMode.off":"從未","notifications.turnMode.unfocused":"僅在未處於焦點時","patchApprovalRequest.approve":"核准","patchApprovalRequest.menu.allowAlways":"是的，此工作階段不要再詢問","patchApprovalRequest.menu.allowForSession":"是的，此工作階段不要再詢問","patchApprovalRequest.menu.allowOnce":"是","patchApprovalRequest.prompt":"你想做出這些變更嗎？","patchApprovalRequest.reject":"否","patchApprovalRequest.waitingForApproval":"正在等待核准以編輯檔案","pendingRequest.approvalExec.collapse":"摺疊","pendingRequest.approvalExec.expand":"展開","pendingRequestStory.toastAnswer":"回答：{answer}","pendingRequestStory.toastApprovalTitle":"核准回應","pendingRequestStory.toastFollowupPrompt":"提示詞：{prompt}","pendingRequestStory.toastFollowupTitle":"已傳送後續跟進","pendingRequestStory.toastNoAnswers":"沒有提供回答","pendingRequestStory.toastQuestion":"問題：{question}","pendingRequestStory.toastUnknownDecision":"未知","pendingRequestStory.toastUserInputTitle":"已提交回答","quickAction.request.codeReview.branches.new":"請審查 {from} 相對於 {to} 的變更","quickAction.request.codeReview.uncommitted.new":"請審查我未提交的變更","reasoningItem.thinking":"正在思考","reasoningItem.thought":"已思考","reasoningItem.thoughtWithElapsed":"思考 {elapsed}","recentConversations.title":"最近的對話","recentTasks.worktreeInitFailedTitle":"工作樹初始化失敗","recentTasks.worktreeSettingUpTitle":"正在設定工作樹","requestInputPanel.continue":"繼續","requestInputPanel.dismiss":"解除","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"在此處輸入","requestInputPanel.optionIndex":"{index}。","requestInputPanel.otherPlaceholder":"否，請告知 Codex 應如何調整執行方式","requestInputPanel.selectedBadge":"已選取","requestInputPanel.skip":"跳過","requestInputPanel.submit":"提交","review.commit.ariaLabel.includeUnstaged":"包含已取消暫存的內容","review.commit.buttonLabel":"提交","review.commit.disabled.committing":"正在提交…","review.commit.disabled.loadingDiff":"正在載入差異…","review.commit.disabled.missingContext":"新增一些上下文資訊以產生提交訊息","review.commit.disabled.noChanges":"沒有要提交的變更","review.commit.disabled.noSelection":"選取要提交的變更","review.commit.disabled.unavailable":"目前無法提交","review.commit.error":"無法提交變更","review.commit.form.changesToBeCommitted":"變更","review.commit.form.commitTo":"分支","review.commit.form.commitTo.none":"-","review.commit.form.continue":"繼續","review.commit.form.title":"提交你的變更","review.commit.generate.emptyResponse":"無法產生提交訊息。","review.commit.generate.failed":"無法產生提交訊息：{error}","review.commit.generate.missingPrompt":"新增一些上下文資訊以產生提交訊息。","review.commit.includeUnstaged":"包含已取消暫存的內容","review.commit.loading.description":"請稍候，這可能需要一些時間…","review.commit.loading.step.commit.done":"已提交的變更","review.commit.loading.step.commit.pending":"正在提交變更","review.commit.loading.step.createPr.done":"已建立擷取要求","review.commit.loading.step.createPr.pending":"正在建立擷取要求","review.commit.loading.step.push.done":"已推播至分支 {branch}","review.commit.loading.step.push.pending":"正在推播至分支 {branch}","review.commit.loading.title.commit":"正在提交變更","review.commit.loading.title.createPr":"正在建立 PR","review.commit.loading.title.push":"正在推播變更","review.commit.messageLabel":"提交訊息","review.commit.messagePlaceholder":"留空以自動產生提交訊息","review.commit.nextSteps":"後續步驟","review.commit.nextSteps.commit":"提交","review.commit.nextSteps.commitAndCreate":"提交並建立 PR","review.commit.nextSteps.commitAndPush":"提交並推播","review.commit.nextSteps.prRequiresGh":"需要 GitHub CLI：{command}","review.commit.rows.changes":"變更","review.commit.rows.commitCount":"{count, plural, other {# 個提交}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# 個提交}} 和 {stats}","review.commit.rows.fileCount":"{count, plural, other {# 個檔案}}","review.commit.state.error.body":"提交時發生了一些問題。請檢查你的 git 狀態並再試一次。","review.commit.state.error.title":"提交失敗","review.commit.state.success.title":"已提交變更","review.commit.untracked.loadingStats":"正在載入未追蹤的差異統計資料…","reviewFindingAttachments.count":"{count, plural, other {# 個發現}}","settings.agent.configuration.configToml":"沙箱","settings.agent.configuration.configToml.description":"編輯你的組態以自訂代理程式行為","settings.agent.configuration.configToml.docs":"文件","settings.agent.configuration.configToml.restartNote":"編輯後請重新啟動 Codex 以套用變更","settings.agent.configuration.subtitle":"這些設定適用於所有使用 Codex 的地方","settings.automations.banner.danger":"自動化使用你的預設沙箱設定執行，目前設定為「完整存取權」。使用「完整存取權」在背景執行自動化會提升風險，因為 Codex 可能會在未經允許的情況下修改檔案、執行命令和存取網路。建議將沙箱設定更新為「工作空間編寫」，並使用<rulesDocsLink>規則</rulesDocsLink>選擇性地定義代理程式可以使用完整存取權執行的命令。","settings.automations.banner.defaultHowTo.default":"自動化使用你的預設沙箱設定執行。如果工具調用需要修改工作空間以外的檔案、存取網路或與電腦上的應用程式一起工作，則調用將會失敗。你可以使用<rulesDocsLink>規則</rulesDocsLink>選擇性地允許在沙箱之外執行的命令。","settings.automations.banner.defaultHowTo.readOnly":"自動化使用你的預設沙箱設定執行，目前設定為唯讀。如果工具調用需要修改檔案、存取網路或與電腦上的應用程式一起工作，則調用將會失敗。請考慮將沙箱設定更新為工作空間編寫。","settings.automations.cancel":"取消","settings.automations.create":"建立","settings.automations.cwdEmpty":"沒有可用的專案資料夾","settings.automations.cwdLabel":"專案","settings.automations.cwdPlaceholder":"選擇資料夾","settings.automations.cwdSubtitle":"如果你希望自動化以在特定分支上執行，可以在提示詞中指定。","settings.automations.delete":"刪除","settings.automations.dialog.editTitle":"編輯自動化","settings.automations.dialog.newTitle":"新增自動化","settings.automations.dialog.subtitle":"在背景自動執行週期性任務。 Codex 會將發現結果新增至收件匣，如果沒有需要報告的內容，則會自動封存任務。<learnMoreLink>深入了解</learnMoreLink>","settings.automations.dialog.title":"建立自動化","settings.automations.executionCopy.git":"自動化在專用工作樹的背景執行。","settings.automations.executionCopy.nonGit":"非版本控制專案中的自動化直接在專案目錄中執行。請考慮使用 Git 以啟用在背景工作樹上執行的功能。","settings.automations.executionEnvironment.local":"本機","settings.automations.executionEnvironment.worktree":"工作樹","settings.automations.loading":"正在載入…","settings.automations.nameLabel":"名稱","settings.automations.namePlaceholder":"檢查 Sentry 問題","settings.automations.pause":"暫停","settings.automations.promptLabel":"提示詞","settings.automations.promptPlaceholder":"尋找 $Sentry 中的當機問題","settings.automations.resume":"繼續","settings.automations.rruleSummaryFallback":"自訂週期","settings.automations.runNow":"測試","settings.automations.save":"儲存","settings.automations.scheduleBadge.dayCount":"{count} 天","settings.automations.scheduleBadge.interval":"{count} 小時","settings.automations.scheduleBadge.weekdays":"工作日","settings.automations.scheduleBadge.weekends":"週末","settings.automations.scheduleHeader":"排程","settings.automations.scheduleHours":"小時","settings.automations.scheduleLabel":"執行頻率","settings.automations.scheduleMode.daily":"每天","settings.automations.scheduleMode.interval":"間隔","settings.automations.scheduleModeLabel":"排程類型","settings.automations.scheduleSummary.daily":"於每天的 {time}","settings.automations.scheduleSummary.interval":"每 {count} 個小時","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# 天}}","settings.automations.scheduleSummary.intervalDays":"於 {days} 的 {interval}","settings.automations.scheduleSummary.intervalHourly":"每小時","settings.automations.scheduleSummary.singleDay":"於 {day} 的 {time}","settings.automations.scheduleSummary.weekdays":"於工作日的 {time}","settings.automations.scheduleSummary.weekdaysLabel":"工作日","settings.automations.scheduleSummary.weekends":"於週末的 {time}","settings.automations.scheduleSummary.weekendsLabel":"週末","settings.automations.scheduleSummary.weekly":"於 {days} 的 {time}","settings.automations.scheduleWeekdays":"開啟","settings.automations.weekdayState.excluded":"已排除","settings.automations.weekdayState.included":"已包含","settings.conversationDetail.steps":"步驟","settings.conversationDetail.steps.description":"隱藏命令和輸出","settings.conversationDetail.stepsWithCommands":"包含程式碼命令的步驟","settings.conversationDetail.stepsWithCommands.description":"顯示命令，摺疊輸出","settings.conversationDetail.stepsWithOutput":"包含程式碼輸出的步驟","settings.conversationDetail.stepsWithOutput.description":"顯示命令並展開輸出","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"沒有封存的聊天。","settings.dataControls.archivedChats.error":"無法載入已封存的聊天。","settings.dataControls.archivedChats.loading":"正在載入封存的聊天…","settings.dataControls.archivedChats.unarchive":"取消封存","settings.dataControls.archivedChats.unarchiveError":"無法取消封存聊天","settings.dataControls.archivedChats.unarchiveSuccess":"取消封存對話串。<viewNowLink>立即檢視</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"取消封存對話串。","settings.dataControls.archivedChats.untitled":"無標題聊天","settings.dataControls.archivedChats.viewNow":"立即檢視","settings.editRow.headerPlaceholder":"金鑰","settings.editRow.removeEntry":"移除項目","settings.editRow.valuePlaceholder":"值","settings.general.appearance":"外觀","settings.general.appearance.codeFont":"程式碼字型","settings.general.appearance.codeFont.description":"調整聊天和差異中使用的程式碼字型和大小","settings.general.appearance.codeFontFamily":"程式碼字體系列","settings.general.appearance.codeFontSize":"程式碼字型大小","settings.general.appearance.codeFontSize.units":"象素","settings.general.appearance.opaqueWindows.description":"讓視窗使用純色背景而不是系統不透明背景","settings.general.appearance.opaqueWindows.label":"使用不透明視窗背景","settings.general.appearance.sansFontFamily":"Sans 字型系列","settings.general.appearance.sansFontFamily.description":"調整 Codex UI 使用的字型","settings.general.appearance.sansFontSize":"Sans 字型大小","settings.general.appearance.sansFontSize.units":"象素","settings.general.appearance.sparkCelebrationEffects.description":"在 GPT-5.3-Codex-Spark 執行第一個回合時顯示全螢幕慶祝效果","settings.general.appearance.sparkCelebrationEffects.label":"閃爍粒子慶祝效果","settings.general.appearance.theme":"主題","settings.general.appearance.theme.dark":"深色","settings.general.appearance.theme.description":"使用淺色、深色或與你的系統相符","settings.general.appearance.theme.light":"淺色","settings.general.appearance.theme.system":"系統","settings.general.appearance.usePointerCursors.description":"將滑鼠懸停在互動元素上時，將遊標變更為指針","settings.general.appearance.usePointerCursors.label":"使用指針遊標","settings.general.enterBehavior.description":"啟用後，多行提示詞需按 {modifierSymbol} + Enter 鍵才能傳送。","settings.general.enterBehavior.label":"需要按 {modifierSymbol} + Enter 鍵才能傳送長提示詞","settings.general.experimentalFeatures":"實驗性功能 (Beta)","settings.general.experimentalFeatures.empty":"還沒有可以使用的 Beta 實驗性功能。","settings.general.experimentalFeatures.loading":"正在載入實驗性功能…","settings.general.experimentalFeatures.restartNote":"重啟 Codex 以套用實驗性功能變更","settings.general.experimentalFeatures.toggle":"切換 {featureName}","settings.general.followUpQueueMode.description":"在 Codex 執行時將後續跟進排入佇列或引導目前執行的程式。按下 {invertFollowUpShortcutLabel} 可對一則訊息執行相反的動作。","settings.general.followUpQueueMode.interrupt":"引導","settings.general.followUpQueueMode.label":"後續跟進行為","settings.general.followUpQueueMode.queue":"排入佇列","settings.general.notifications":"通知","settings.general.power.preventSleepWhileRunning.description":"Codex 執行對話串時，請保持電腦處於清醒狀態。","settings.general.power.preventSleepWhileRunning.label":"執行時阻止睡眠","settings.git.branchPrefix.ariaLabel":"分支前綴","settings.git.branchPrefix.description":"在 Codex 中建立新分支時使用的前綴","settings.git.branchPrefix.label":"分支前綴","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"無法儲存分支前綴","settings.git.branchPrefix.save.success":"已儲存分支前綴","settings.git.commitInstructions.ariaLabel":"提交指令","settings.git.commitInstructions.description":"已新增至提交訊息產生提示","settings.git.commitInstructions.label":"提交指令","settings.git.commitInstructions.placeholder":"新增提交訊息指南…","settings.git.commitInstructions.save":"儲存","settings.git.commitInstructions.save.error":"無法儲存提交指令","settings.git.commitInstructions.save.success":"已儲存提交指令","settings.git.forcePush.ariaLabel":"總是強制推播","settings.git.forcePush.description":"從 Codex 推播時使用 --force-with-lease","settings.git.forcePush.label":"總是強制推播","settings.git.forcePush.save.disabled":"已停用總是強制推播","settings.git.forcePush.save.enabled":"已啟用總是強制推播","settings.git.forcePush.save.error":"無法儲存強制推播設定","settings.git.prInstructions.ariaLabel":"擷取要求指令","settings.git.prInstructions.description":"已附加至 Codex 建立的擷取要求內文中","settings.git.prInstructions.label":"擷取要求指令","settings.git.prInstructions.placeholder":"新增擷取要求指南…","settings.git.prInstructions.save":"儲存","settings.git.prInstructions.save.error":"無法儲存擷取要求指令","settings.git.prInstructions.save.success":"已儲存擷取要求指令","settings.ide.defaultOpenTarget.description":"檔案和資料夾的預設開啟位置","settings.ide.defaultOpenTarget.label":"預設開啟目的地","settings.ide.defaultOpenTarget.placeholder":"找不到目標","settings.ide.language.auto":"自動偵測","settings.ide.language.autoOption":"自動偵測","settings.ide.language.description":"應用程式 UI 的語言","settings.ide.language.label":"語言","settings.ide.language.search":"搜尋語言","settings.layout.actionButton":"重新開始延長","settings.layout.actionTitle":"包含動作的設定","settings.layout.fullWidthTitle":"設定（全寬）","settings.layout.title":"設定","settings.localEnvironments.actions.add":"新增動作","settings.localEnvironments.actions.add.description":"建立可從工具列執行的新命令。","settings.localEnvironments.actions.add.save":"儲存","settings.localEnvironments.actions.empty":"新增動作以執行本機工具列的指令。","settings.localEnvironments.actions.icon.debug":"偵錯","settings.localEnvironments.actions.icon.run":"執行","settings.localEnvironments.actions.icon.test":"測試","settings.localEnvironments.actions.icon.tool":"工具","settings.localEnvironments.actions.item.button.delete":"刪除","settings.localEnvironments.actions.item.command":"動作指令碼","settings.localEnvironments.actions.item.name":"名稱","settings.localEnvironments.actions.item.platforms":"平台","settings.localEnvironments.actions.item.platforms.help":"僅在特定 OS 上執行。","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"平台選取","settings.localEnvironments.actions.item.platforms.specific":"平台特定","settings.localEnvironments.actions.item.platforms.windows":"Windows 鍵","settings.localEnvironments.actions.item.tooltip.delete":"刪除","settings.localEnvironments.actions.title":"動作","settings.localEnvironments.breadcrumb.back":"返回","settings.localEnvironments.breadcrumb.edit":"編輯","settings.localEnvironments.breadcrumb.root":"環境","settings.localEnvironments.environment.actions.description":"這些動作可以執行任何指令，並會顯示在標頭中。","settings.localEnvironments.environment.actionsLabel":"動作","settings.localEnvironments.environment.create":"建立本機環境","settings.localEnvironments.environment.defaultName":"本機","settings.localEnvironments.environment.edit":"編輯本機環境","settings.localEnvironments.environment.empty":"此專案還沒有設定本機環境。","settings.localEnvironments.environment.name":"名稱","settings.localEnvironments.environment.setup":"設定指令碼","settings.localEnvironments.environment.setup.description":"此指令碼將在建立工作樹時執行。","settings.localEnvironments.environment.setup.hint":"在專案根目錄執行。","settings.localEnvironments.environment.setup.platformOverrides":"平台覆寫","settings.localEnvironments.environment.setup.platformOverrides.add":"新增 {platform} 設定指令碼","settings.localEnvironments.environment.setup.platformOverrides.description":"覆寫特定 OS 的預設指令碼。","settings.localEnvironments.environment.setup.platformOverrides.remove":"移除","settings.localEnvironments.environment.setup.script":"指令碼","settings.localEnvironments.environment.title":"環境詳細資料","settings.localEnvironments.file.missing":"儲存以便首次建立此檔案。","settings.localEnvironments.file.parseError":"無法解析現有檔案。儲存將覆蓋該檔案。({error})","settings.localEnvironments.file.path":"檔案：{path}","settings.localEnvironments.file.readError":"無法載入本機環境資料。({error})","settings.localEnvironments.file.title":"本機環境檔案","settings.localEnvironments.loading.body":"正在擷取你的專案組態。","settings.localEnvironments.loading.title":"正在載入本機環境","settings.localEnvironments.preview.devOnly":"（僅限開發）","settings.localEnvironments.preview.save":"儲存","settings.localEnvironments.preview.saveError":"無法儲存檔案。({error})","settings.localEnvironments.preview.title":"預覽","settings.localEnvironments.save.disabled.name":"新增要儲存的環境名稱。","settings.localEnvironments.save.disabled.noChanges":"沒有要儲存的變更。","settings.localEnvironments.save.disabled.saving":"正在儲存…","settings.localEnvironments.save.success":"已儲存本機環境","settings.localEnvironments.unavailable.body":"我們無法載入此專案的本機環境設定。","settings.localEnvironments.unavailable.title":"無法使用本機環境","settings.localEnvironments.workspace.add":"新增專案","settings.localEnvironments.workspace.title":"專案","settings.localEnvironments.workspaceSelect.addLabel":"新增環境","settings.localEnvironments.workspaceSelect.description":"本機環境告訴 Codex 如何為專案設定工作樹。{learnMore}","settings.localEnvironments.workspaceSelect.empty":"還沒有專案。新增一個以設定本機環境。","settings.localEnvironments.workspaceSelect.errorLabel":"環境需要關注","settings.localEnvironments.workspaceSelect.learnMore":"深入了解","settings.localEnvironments.workspaceSelect.listLabel":"可用專案","settings.localEnvironments.workspaceSelect.loading":"正在載入專案。","settings.localEnvironments.workspaceSelect.loadingLabel":"正在載入環境","settings.localEnvironments.workspaceSelect.title":"選取專案","settings.localEnvironments.workspaceSelect.viewAction":"檢視","settings.mcp.addServer":"新增伺服器","settings.mcp.app.configure":"設定","settings.mcp.app.connect":"連線","settings.mcp.apps.refresh":"重新整理","settings.mcp.detail.addArgument":"新增引數","settings.mcp.detail.addEnvVar":"新增環境變數","settings.mcp.detail.addEnvVarPassthrough":"新增變數","settings.mcp.detail.args":"引數","settings.mcp.detail.back":"上一步","settings.mcp.detail.command":"啟動指令","settings.mcp.detail.cwd":"工作目錄","settings.mcp.detail.docs":"開啟 MCP 文件","settings.mcp.detail.docs.link":"文件","settings.mcp.detail.envVarPassthrough":"環境變數透傳","settings.mcp.detail.envVars":"環境變數","settings.mcp.detail.http.addEnvHeader":"新增變數","settings.mcp.detail.http.addHeader":"新增標頭","settings.mcp.detail.http.bearerToken":"持有者權杖環境變數","settings.mcp.detail.http.envHeaders":"來自環境變數的標頭","settings.mcp.detail.http.headers":"標頭","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"名稱","settings.mcp.detail.save":"儲存","settings.mcp.detail.switchTransportNotice":"如果你想切換 MCP 伺服器類型，請先解除安裝。","settings.mcp.detail.titleExisting":"更新 {name} MCP","settings.mcp.detail.titleNew":"連接到自訂 MCP","settings.mcp.detail.transport.http":"可串流 HTTP","settings.mcp.detail.transport.stdio":"標準輸入/輸出","settings.mcp.detail.uninstall":"解除安裝","settings.mcp.empty":"未連接任何自訂 MCP 伺服器","settings.mcp.myServers":"自訂伺服器","settings.mcp.partnerServer.description.figma":"引入完整的 Figma 上下文以產生更佳的程式碼","settings.mcp.partnerServer.description.github":"與 GitHub API 整合以自動化工作流程並擷取資料","settings.mcp.partnerServer.description.linear":"與 Linear 的問題追蹤和專案管理整合","settings.mcp.partnerServer.description.notion":"閱讀文件、更新頁面、管理任務","settings.mcp.partnerServer.description.playwright":"整合瀏覽器自動化以實現設計並測試 UI。","settings.mcp.partnerServer.install":"安裝","settings.mcp.partnerServer.installAndAuthenticate":"安裝與驗證","settings.mcp.partnerServer.logoAlt":"{label} 標誌","settings.mcp.partnerServer.manage":"管理","settings.mcp.partnerServer.vendor":"作者：{vendor}","settings.mcp.recommendedServers":"建議使用的伺服器","settings.mcp.restartApp":"重新啟動","settings.mcp.restartExtension":"重新開始延長","settings.mcp.server.enable":"啟用","settings.mcp.server.login":"驗證","settings.mcp.server.settings":"設定","settings.multiselect.createOption":"建立「{value}」","settings.multiselect.removeOption":"移除","settings.nav.account":"帳戶","settings.nav.agent":"組態","settings.nav.ariaLabel":"設定","settings.nav.back":"返回應用程式","settings.nav.data-controls":"已封存對話串","settings.nav.environments":"雲端環境","settings.nav.externalTooltip":"[alpha] 在瀏覽器中開啟","settings.nav.general-settings":"一般","settings.nav.git-settings":"Git","settings.nav.local-environments":"環境","settings.nav.mcp-settings":"MCP 伺服器","settings.nav.notImplemented":"[alpha] 在 Alpha 版中不可用","settings.nav.personalization":"個人化","settings.nav.skills-settings":"技能","settings.nav.usage-analytics":"使用情況和分析","settings.nav.worktrees":"工作樹","settings.openSourceLicenses.back":"上一步","settings.openSourceLicenses.loading":"正在載入…","settings.openSourceLicenses.missing":"找不到第三方通知。","settings.openSourceLicenses.notSupported":"此主機上無法使用。","settings.openSourceLicenses.rowDescription":"組合依賴項的第三方通知","settings.openSourceLicenses.rowLabel":"開放原始碼授權","settings.openSourceLicenses.subtitle":"包含在此應用程式中的依賴項第三方通知","settings.openSourceLicenses.title":"開放原始碼授權","settings.openSourceLicenses.view":"檢視","settings.personalization.agents.description":"編輯指令，使 Codex 更符合你的需求。{learnMore}","settings.personalization.agents.learnMore":"深入了解","settings.personalization.agents.loadError":"無法載入 agents.md。","settings.personalization.agents.loading":"正在載入 agents.md…","settings.personalization.agents.placeholder":"新增你的自訂指令…","settings.personalization.agents.retry":"重試","settings.personalization.agents.save":"儲存","settings.personalization.agents.save.error":"無法儲存 agents.md","settings.personalization.agents.save.success":"已儲存 agents.md","settings.personalization.agents.title":"自訂指令","settings.personalization.personality.description":"選擇 Codex 回應的預設語氣","settings.personalization.personality.label":"性格","settings.sample.contentBody":"使用此佈局以建立間距一致的設定面板。","settings.sample.contentTitle":"範例內容封鎖","settings.section.account":"帳戶","settings.section.agent":"組態","settings.section.data-controls":"已封存對話串","settings.section.environments":"雲端環境","settings.section.external":"Alpha 版本期間在瀏覽器中開啟","settings.section.general-settings":"一般","settings.section.git-settings":"Git","settings.section.local-environments":"環境","settings.section.mcp-settings":"MCP 伺服器","settings.section.mcp-settings.docs":"文件","settings.section.mcp-settings.subtitle":"連接外部工具和資料來源。","settings.section.personalization":"個人化","settings.section.skills-settings":"技能","settings.section.unavailable":"Alpha 版本中還無法使用","settings.section.usage-analytics":"使用情況和分析","settings.section.worktrees":"工作樹","settings.threadDetail.description":"選擇在對話串中顯示的命令輸出量","settings.threadDetail.label":"對話串詳細資料","settings.worktrees.conversation.untitled":"無標題對話","settings.worktrees.delete.error":"無法刪除工作樹","settings.worktrees.empty.body":"Codex 建立的工作樹將顯示在此處。","settings.worktrees.empty.title":"還沒有工作樹","settings.worktrees.error.body":"載入工作樹時發生問題。","settings.worktrees.error.retry":"重試","settings.worktrees.error.title":"無法載入工作樹","settings.worktrees.loading.body":"正在擷取工作樹詳細資料。","settings.worktrees.loading.title":"正在載入工作樹","settings.worktrees.repository.loading":"正在載入儲存庫中繼資料…","settings.worktrees.repository.unknown":"未知儲存庫","settings.worktrees.row.conversations":"對話","settings.worktrees.row.conversations.empty":"沒有與此工作樹連結的對話。","settings.worktrees.row.conversations.loading":"正在載入對話…","settings.worktrees.row.delete":"刪除","settings.worktrees.row.title":"工作樹","sidebarElectron.addWorkspaceRoot":"新增新的專案","sidebarElectron.archiveThread":"封存對話串","sidebarElectron.archiveThreadError":"無法封存對話串","sidebarElectron.collapseFolder":"摺疊資料夾","sidebarElectron.createStableWorktree.dialog.cancel":"取消","sidebarElectron.createStableWorktree.dialog.create":"建立","sidebarElectron.debugNavLink":"偵錯","sidebarElectron.editWorkspaceRootOptionName":"編輯名稱","sidebarElectron.expandFolder":"展開資料夾","sidebarElectron.groupByMenu.recency":"依時間順序排列","sidebarElectron.groupByMenu.title":"組織","sidebarElectron.groupByMenu.workspace":"依專案","sidebarElectron.inboxRouteNavLink":"自動化","sidebarElectron.markThreadUnread":"標記為未讀","sidebarElectron.missingWorkspaceRoot":"此專案資料夾已被刪除或移動","sidebarElectron.newThread":"新增對話串","sidebarElectron.newThreadInGroup":"在 {folder} 中開始新對話串","sidebarElectron.noRecentThreads":"沒有最近的對話串","sidebarElectron.noTasks":"沒有對話串","sidebarElectron.noTasks.start":"新增新的專案","sidebarElectron.noTasksWithFilter":"沒有符合篩選條件的對話串","sidebarElectron.pinnedThreads":"已釘選對話串","sidebarElectron.recentNavLink":"對話串","sidebarElectron.recentThreads":"最近的對話串","sidebarElectron.removeWorkspaceRootOption":"移除","sidebarElectron.renameThread":"重新命名對話串","sidebarElectron.renameThreadDialogAriaLabel":"對話串標題","sidebarElectron.renameThreadDialogCancel":"取消","sidebarElectron.renameThreadDialogPlaceholder":"新增標題…","sidebarElectron.renameThreadDialogSave":"儲存","sidebarElectron.renameThreadDialogSubtitle":"請保持簡短且易於辨識。","sidebarElectron.renameThreadDialogTitle":"重新命名對話串","sidebarElectron.renameThreadError":"無法重新命名對話串","sidebarElectron.renameWorkspaceRootOptionLabel":"顯示名稱","sidebarElectron.showLess":"顯示較少","sidebarElectron.showMenu.all":"所有對話串","sidebarElectron.showMenu.relevant":"相關","sidebarElectron.showMenu.relevantHint":"僅顯示目前分支、工作樹的最新對話串，或者其他你需要關注的對話串","sidebarElectron.showMenu.title":"顯示","sidebarElectron.showMenu.tooltip":"篩選、排序和整理對話串","sidebarElectron.showMenu.trigger":"篩選側邊欄對話串","sidebarElectron.showMore":"顯示更多","sidebarElectron.skillsRouteNavLink":"技能","sidebarElectron.sortMenu.created":"已建立","sidebarElectron.sortMenu.title":"排序依據","sidebarElectron.sortMenu.updated":"已更新","sidebarElectron.taskNavigation":"自動化資料夾","sidebarElectron.tasksInFolder":"{folder} 中的自動化","sidebarElectron.workspaceOptions":"{folder} 的專案動作","sidebarElectron.worktreeGroupTooltip":"這是 git 工作樹","skills.appsPage.createSkill":"新增技能","skills.appsPage.empty.skills":"找不到技能","skills.appsPage.search.skills":"搜尋技能","skills.appsPage.search.skills.label":"搜尋技能","skills.appsPage.section.installedApps":"已安裝","skills.appsPage.section.skills":"技能","skills.appsPage.subheading":"賦予 Codex 超能力。<link>深入了解</link>","skills.appsPage.tab.recommended":"已推薦","skills.appsPage.tab.skills":"技能","skills.card.contentsError":"無法載入技能內容。","skills.card.disable":"停用","skills.card.disableSuccess":"已停用 {skillName} 個技能","skills.card.disabledBadge":"已停用","skills.card.enable":"啟用","skills.card.enableSuccess":"已啟用 {skillName} 個技能","skills.card.loadingContents":"正在載入技能內容…","skills.card.more":"更多動作","skills.card.open":"開啟","skills.card.removeFailed":"無法解除安裝技能","skills.card.removeSuccess":"已解除安裝 {skillName} 技能","skills.card.toggleEnabledError":"無法更新技能","skills.card.try":"嘗試","skills.card.trySkill":"試用技能","skills.card.uninstall":"解除安裝","skills.hero.dotLabel":"前往投影片 {index}","skills.hero.next":"下一個精選的功能","skills.hero.trySkill":"試用技能","skills.page.createSkill":"新增技能","skills.page.empty":"找不到技能","skills.page.filteredEmpty":"沒有與篩選條件相符的技能","skills.page.filteredEmptyDescription":"嘗試調整你的搜尋或範圍篩選條件","skills.page.heading":"技能","skills.page.loading":"正在載入技能…","skills.page.refreshSkills":"重新整理","skills.page.refreshSkillsToUseNew":"重新整理以使用新技能","skills.page.search":"搜尋技能","skills.page.search.label":"搜尋技能","skills.page.subheading":"賦予 Codex 超能力。<link>深入了解</link>","skills.preview.copyPrompt":"複製提示詞","skills.preview.examplePrompt":"提示詞範例","skills.recommended.error":"無法載入建議的技能","skills.recommended.install":"安裝","skills.recommended.installSkill":"安裝技能","skills.recommended.installSuccess":"{skillName} 個技能已安裝","skills.recommended.installed":"已安裝","skills.scope.admin":"管理員","skills.scope.adminInstalled":"管理員已安裝","skills.scope.builtIn":"系統","skills.scope.personal":"個人","skills.scope.repo":"儲存庫","skills.scope.system":"系統","skills.scope.team":"團隊","skills.scope.user":"使用者","skills.section.installed":"已安裝","skills.section.recommended":"已推薦","story.slidingToggle.existing":"現有","story.slidingToggle.fromLocal":"從本機","story.slidingToggle.new":"新增","story.slidingToggle.toLocal":"到本機","terminal.close":"關閉終端","terminal.title":"終端","thinkingShimmer.default":"正在思考","threadEnvIcon.cloudTooltip":"此對話正在 Codex 雲端中執行。","threadEnvIcon.localTooltip":"此對話正在本機執行。","threadEnvIcon.worktreeTooltip":"此對話正在本機 git 工作樹中執行。","threadHeader.archiveConfirmCancel":"取消","threadHeader.archiveConfirmConfirm":"封存","threadHeader.archiveConfirmSubtitle":"你稍後可以在已封存的對話串中尋找它。","threadHeader.archiveConfirmTitle":"封存對話串","threadHeader.copyAppLink":"複製深入連結","threadHeader.copySessionId":"複製工作階段 ID","threadHeader.copyWorkingDirectory":"複製工作目錄","threadHeader.forkIntoLocal":"分叉到本機","threadHeader.forkIntoWorktree":"分叉到新的工作樹","threadHeader.forkPendingWorktreePrompt":"將此對話分叉到新的工作樹。","threadHeader.forkPendingWorktreeTitle":"已分叉對話","threadHeader.forkThreadError":"無法分叉對話串","threadHeader.forkThreadRequiresGitRepo":"分叉到新的工作樹需要一個 git 儲存庫","threadHeader.moreActions":"對話串動作","threadPage.newThread":"新增對話串","threadPage.runAction.changeEnvironment":"變更環境","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} 動作","threadPage.runAction.environmentSelector.label":"選擇環境","threadPage.runAction.label":"執行","threadPage.runAction.missing.label":"設定執行動作","threadPage.runAction.setup.commandLabel":"執行指令","threadPage.runAction.setup.description":"告訴 Codex 如何安裝依賴項並啟動你的應用程式。","threadPage.runAction.setup.editMore":"環境設定","threadPage.runAction.setup.placeholder":"例如：npm install npm run","threadPage.runAction.setup.submit":"儲存並執行","threadPage.runAction.setup.title":"執行","threadPage.runAction.tooltip.withEnvironment":"{environmentName} 動作","threadPage.toggleDiffPanel":"切換差異面板","threadPage.toggleTerminal":"切換終端","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"開啟資料夾","toolSummaryForCmd.exploredFiles":"<verb>已列出</verb>檔案","toolSummaryForCmd.exploredFilesInPath":"<verb>已列出</verb> {path} 中的檔案","toolSummaryForCmd.exploringFiles":"<verb>正在列出</verb>檔案","toolSummaryForCmd.exploringFilesInPath":"<verb>正在列出</verb> {path} 中的檔案","toolSummaryForCmd.ranGenericCommand":"<status>已執行命令</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>已執行</status> {command}{timer}","toolSummaryForCmd.read":"<verb>已讀取</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>正在執行命令</status>{timer}","toolSummaryForCmd.runningTimer":"適用於 {elapsed}","toolSummaryForCmd.searchedFor":"<verb>已搜尋</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>已搜尋</verb>檔案","toolSummaryForCmd.searchedForInPath":"<verb>已搜尋</verb> {path} 中的 {query}","toolSummaryForCmd.searchingFor":"<verb>正在搜尋</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>正在搜尋</verb>檔案","toolSummaryForCmd.searchingForInPath":"<verb>正在搜尋</verb> {path} 中的 {query}","traceRecording.details.noteLabel":"發生此情況時你在做什麼？（選填）","traceRecording.details.notePlaceholder":"已瀏覽一個較長的對話串，然後重複切換索引標籤…","traceRecording.details.submit":"傳送追蹤","traceRecording.details.subtitle":"我們可以傳送此設定檔追蹤訊息，以幫助診斷效能問題。","traceRecording.details.title":"是否傳送設定檔追蹤訊息？","traceRecording.progress.subtitle":"請在完成此動作期間保持 Codex 視窗的開啟狀態。","traceRecording.saving.title":"正在儲存追蹤…","traceRecording.startDetails.cancel":"取消","traceRecording.startDetails.submit":"好的，開始錄製","traceRecording.startDetails.subtitle":"按一下「確定」後，效能問題會重現，然後按一下浮動的紅色指示器停止並查看追蹤。","traceRecording.startDetails.title":"追蹤錄製的運作方式","traceRecording.stopButton.ariaLabel":"停止追蹤錄製","traceRecording.upload.successToast":"已傳送設定檔追蹤。","traceRecording.uploading.title":"正在上傳追蹤…","wham.diff.addComment":"新增評論","wham.diff.binaryFile":"未顯示二進位檔案","wham.diff.noContent":"沒有內容","wham.fileTag.deleted":"已刪除","wham.fileTag.new":"新增","wham.formattedRelativeDateTime.compactDaysAgo":"{value} 天","wham.formattedRelativeDateTime.compactHoursAgo":"{value} 小時","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} 分","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} 個月","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} 週","wham.formattedRelativeDateTime.compactYearsAgo":"{value} 年","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"正在執行你的任務","wham.whamProposedTask.title":"建議的任務","wham.whamProposedTask.useSuggestion":"使用建議","workspaceRootDialog.addError":"無法新增專案","workspaceRootDialog.cancel":"取消","workspaceRootDialog.confirmAdd":"新增專案","workspaceRootDialog.confirmPick":"新增專案","workspaceRootDialog.description":"輸入 {host} 上的路徑以用作專案。","workspaceRootDialog.pathLabel":"專案路徑","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"新增專案路徑","workspaceRootDialog.title.pick":"選擇專案路徑","worktreeInitV2.cancel":"取消","worktreeInitV2.notification.failedTitle":"工作樹設定失敗。","worktreeInitV2.output.empty":"正在等待輸出…","worktreeInitV2.status.error":"工作樹設定失敗。","worktreeInitV2.status.running":"正在建立工作樹並執行設定。","worktreeInitV2.status.runningFork":"正在建立工作樹以分叉此對話。","worktreeInitV2.status.success":"工作樹準備就緒。","worktreeInitV2.title":"正在建立工作樹","worktreeInitV2.workLocallyInstead":"改為在本機運作","worktreeRestoreBanner.body":"為了節省磁碟空間，已移除此對話串的工作樹","worktreeRestoreBanner.missing.body":"此對話串的工作目錄已不存在","worktreeRestoreBanner.missing.title":"目前工作目錄缺失","worktreeRestoreBanner.restore.error":"無法還原工作樹：{message}","worktreeRestoreBanner.restore.success":"已還原工作樹","worktreeRestoreBanner.restoreCta":"還原工作樹","worktreeRestoreBanner.title":"工作樹已清理"};export{e as default};
+const e={"CopyButton.copyTooltip":"複製","app.sidebar.hide":"隱藏側邊欄","app.sidebar.show":"顯示側邊欄","app.sidebar.tooltip":"切換側邊欄","appHeader.installUpdate":"更新","appSunset.body":"此版本的應用程式已停止支援。請在<here>此處</here>下載最新版本。","appSunset.title":"必須更新","automation.updateDirective.create":"建立","automation.updateDirective.open":"開啟","automation.updateDirective.untitled":"無標題自動化","automation.updateDirective.update":"更新","bestOfNIcon.attemptsTooltip":"{attempts, plural, other {# 次嘗試}}","cloudTaskRow.archiveError":"無法封存任務","code.diff.requestChange":"要求變更","code.diffComment.cancel":"取消","code.diffComment.comment":"評論","code.diffComment.delete":"刪除","code.diffComment.save":"儲存","codeReviewAssistant.location":"{file}:{start}-{end}","codeReviewAssistant.noFindings":"沒有報告任何發現。","codex.alert.closeAriaLabel":"關閉","codex.appUpsellBanner.cbpApi.message":"使用 Codex 應用程式更快地組建。立即下載或 {learnMoreLink}。","codex.appUpsellBanner.download":"下載","codex.appUpsellBanner.freeGo.message":"Codex 已包含在你的方案中，有效期至 3 月 2 日。試用 Codex 應用程式以更快地建立。","codex.appUpsellBanner.later":"稍後","codex.appUpsellBanner.learnMoreLowercase":"深入了解","codex.appUpsellBanner.new":"新增","codex.appUpsellBanner.proPlusBusiness.message":"4 月 2 日前可以 2 倍 速率限制試用 Codex 應用程式。立即下載或 {learnMoreLink}。","codex.appUpsellBanner.title":"Codex 應用程式","codex.applyDropdown.header.changes":"變更","codex.applyDropdown.header.fileCount":"{count, plural, other {# 個檔案}}","codex.applyDropdown.header.rows":"列","codex.applyDropdown.header.title":"套用變更","codex.applyDropdown.header.workspace":"專案","codex.applyDropdown.results.conflicted":"{count, plural, other {{count} 個檔案已衝突：}}","codex.applyDropdown.results.empty":"沒有已複製的檔案","codex.applyDropdown.results.skipped":"{count, plural, other {{count} 個檔案已跳過：}}","codex.applyOrRevertBanner.apply":"套用","codex.applyOrRevertBanner.applyMessage":"是否套用變更並在本機繼續？","codex.applyOrRevertBanner.applyMessageDifferentEnvironment":"此任務於 {environment} 建立，因此可能無法完全套用。","codex.applyOrRevertBanner.applyMessageDifferentEnvironment.tooltip":"可能無法完全套用在 {environment} 中所做的變更。","codex.applyOrRevertBanner.reapply":"重新套用","codex.applyOrRevertBanner.revert":"還原","codex.applyOrRevertBanner.revertMessage":"是否還原套用的變更？","codex.applyResultsDialog.applied":"已完全套用 ({count})","codex.applyResultsDialog.close":"關閉","codex.applyResultsDialog.conflicted":"衝突({count})","codex.applyResultsDialog.noDetails":"沒有可用的檔案詳細資料。","codex.applyResultsDialog.skipped":"已跳過 ({count})","codex.applyResultsDialog.title":"套用結果","codex.archiveInfo":"檢視 {dataControlsLink} 中封存的聊天。","codex.archiveInfo.dataControlsLink":"資料控制","codex.archiveInfo.electron":"檢視 {settingsLink} 中封存的聊天","codex.archiveInfo.extension":"在你的 .codex 資料夾中檢視封存的聊天。","codex.archiveInfo.settingsLink":"設定","codex.banner.content.description":"使用人工智慧平行執行任務、隨時隨地追蹤進度和審查 PR。","codex.banner.content.headline":"Codex 能做到一切。","codex.cloudTaskRow.archiveTask":"封存任務","codex.cloudTaskRow.confirmArchiveTask":"確認","codex.command.feedback":"回饋","codex.command.findInThread":"尋找","codex.command.forceReloadSkills":"強制重新載入技能","codex.command.logOut":"登出","codex.command.manageTasks":"管理任務","codex.command.mcpSettings":"MCP","codex.command.navigateBack":"上一步","codex.command.navigateForward":"向前","codex.command.newThread":"新增對話串","codex.command.nextThread":"下一個對話串","codex.command.openFolder":"開啟資料夾","codex.command.openSkills":"前往技能","codex.command.openThreadOverlay":"彈出式對話串","codex.command.personalitySettings":"性格","codex.command.previousThread":"上一個對話串","codex.command.settings":"設定","codex.command.toggleDiffPanel":"切換差異面板","codex.command.toggleSidebar":"切換側邊欄","codex.command.toggleTerminal":"切換終端","codex.commandGroup.app":"應用程式","codex.commandGroup.configure":"設定","codex.commandGroup.navigation":"導航","codex.commandGroup.panels":"面板","codex.commandGroup.skills":"技能","codex.commandGroup.thread":"對話串","codex.commandGroup.workspace":"專案","codex.commandMenu.noResults":"沒有相符項目","codex.commandMenu.searchPlaceholder":"搜尋指令","codex.commandMenu.suggestedGroup":"建議使用","codex.commandMenu.switchWorkspace":"切換專案","codex.commandMenu.title":"指令功能表","codex.common.retry":"重試","codex.composer.searchBranches":"搜尋分支","codex.dialog.basic.body":"這是一個使用我們針對 Radix Dialog 的封裝實作的簡單模態對話方塊。","codex.dialog.basic.cancel":"取消","codex.dialog.basic.confirm":"確認","codex.dialog.basic.open":"開啟對話方塊","codex.dialog.basic.title":"範例對話方塊","codex.dialog.long.close":"關閉","codex.dialog.long.line":"用於示範對話方塊中長內容的可捲動行 {index}。","codex.dialog.long.open":"開啟長對話方塊","codex.dialog.long.title":"長內容對話方塊","codex.dialog.unstyled.body":"這個故事展示了調用者如何完全控制對話內容的風格。","codex.dialog.unstyled.open":"開啟未設定樣式的對話方塊","codex.dialog.unstyled.title":"未設定樣式的內容","codex.diff.openInEditorPrompt.openButton":"在編輯器中打開","codex.diff.openInEditorPrompt.singleLine":"此檔案過大，無法在此顯示。","codex.diffView.failedToDecodeBase64Diff":"無法解碼 base64 差異","codex.diffView.filesChanged":"{fileCount, plural, other {已變更 # 個檔案}}","codex.diffView.imagePreviewAlt":"圖像預覽","codex.diffView.imagePreviewEmpty":"沒有圖像","codex.diffView.linesAdded":"+{linesAdded}","codex.diffView.linesDeleted":"-{linesDeleted}","codex.diffView.noDiffData":"沒有差異資料","codex.diffView.pdfPreview.nextPage":"下一頁","codex.diffView.pdfPreview.pageIndicator":"{current}/{total}","codex.diffView.pdfPreview.previousPage":"上一頁","codex.diffView.pdfPreviewEmpty":"無 PDF 預覽","codex.diffView.pdfPreviewError":"無法渲染 PDF 預覽","codex.diffView.richPreviewDisable":"停用豐富預覽","codex.diffView.richPreviewEnable":"啟用豐富預覽","codex.diffView.richPreviewLoading":"正在載入預覽…","codex.diffView.richPreviewToggle":"切換豐富預覽","codex.diffView.switchToUnified":"切換至整合差異","codex.environmentSelector.noEnvironment":"沒有環境","codex.environments.environmentSettings":"環境設定","codex.environments.learnMore":"深入了解","codex.environments.listError":"無法載入環境。","codex.environments.noEnvironmentsFound":"找不到環境","codex.environments.searchError":"無法搜尋環境。","codex.errorBoundary.genericError":"糟糕，發生錯誤","codex.errorBoundary.goHome":"再試一次","codex.file.patch.missing":"無法為此檔案建立修補程式。","codex.gallery.automations.cwdLabel":"專案","codex.gallery.automations.nameLabel":"名稱","codex.gallery.automations.namePlaceholder":"總結任務","codex.gallery.automations.promptLabel":"提示詞","codex.gallery.automations.promptPlaceholder":"說明 Codex 應該完成的內容","codex.gallery.dialogs.automation.label":"自動化對話方塊","codex.gallery.dialogs.basic.body":"此版面配置用於簡單的確認或短表單。","codex.gallery.dialogs.basic.cancel":"取消","codex.gallery.dialogs.basic.confirm":"確認","codex.gallery.dialogs.basic.label":"基本對話方塊","codex.gallery.dialogs.basic.title":"範例對話方塊","codex.gallery.dialogs.feedbackSubmission.ariaLabel":"請描述問題","codex.gallery.dialogs.feedbackSubmission.bad":"結果不佳","codex.gallery.dialogs.feedbackSubmission.bug":"錯誤","codex.gallery.dialogs.feedbackSubmission.good":"結果良好","codex.gallery.dialogs.feedbackSubmission.includeLogs":"包含目前 Codex 工作階段記錄檔","codex.gallery.dialogs.feedbackSubmission.label":"回饋提交","codex.gallery.dialogs.feedbackSubmission.other":"其他","codex.gallery.dialogs.feedbackSubmission.placeholder":"請在此處說明問題","codex.gallery.dialogs.feedbackSubmission.submit":"提交","codex.gallery.dialogs.feedbackSubmission.title":"回饋","codex.gallery.dialogs.feedbackSuccess.body":"已上傳回饋。如果問題仍然存在，請在 GitHub 上提交問題或在現有問題中提及對話串 ID：","codex.gallery.dialogs.feedbackSuccess.dismiss":"解除","codex.gallery.dialogs.feedbackSuccess.label":"回饋成功","codex.gallery.dialogs.feedbackSuccess.title":"已上傳回饋","codex.gallery.dialogs.gitApplyResults.applied":"已完全套用 (2)","codex.gallery.dialogs.gitApplyResults.close":"關閉","codex.gallery.dialogs.gitApplyResults.conflicted":"已衝突 (1)","codex.gallery.dialogs.gitApplyResults.label":"套用結果","codex.gallery.dialogs.gitApplyResults.title":"套用結果","codex.gallery.dialogs.gitPushError.body":"如果確定遠端歷程紀錄可以安全覆寫，則可以擷取最新變更或強制推播。","codex.gallery.dialogs.gitPushError.cancel":"取消","codex.gallery.dialogs.gitPushError.force":"強制推播","codex.gallery.dialogs.gitPushError.label":"推播錯誤","codex.gallery.dialogs.gitPushError.subtitle":"你的分支落後於 origin/main。","codex.gallery.dialogs.gitPushError.title":"無法推播變更","codex.gallery.dialogs.gitRevert.cancel":"取消","codex.gallery.dialogs.gitRevert.confirm":"還原","codex.gallery.dialogs.gitRevert.label":"還原變更","codex.gallery.dialogs.gitRevert.skip":"不再詢問","codex.gallery.dialogs.gitRevert.subtitle":"此動作會移除所有變更。","codex.gallery.dialogs.gitRevert.title":"是否還原變更？","codex.gallery.dialogs.longForm.label":"長表單對話方塊","codex.gallery.dialogs.proseModal.body":"此模態樣式用於較長的說明、上線或豐富的內容區塊。","codex.gallery.dialogs.proseModal.close":"關閉","codex.gallery.dialogs.proseModal.subtitle":"請在此處分享更詳細的指南或文件。","codex.gallery.dialogs.proseModal.title":"散文模態","codex.gallery.dialogs.submitBlocked.label":"已封鎖提交","codex.gallery.dialogs.submitBlocked.message":"由於專案無法使用，你的訊息無法傳送。","codex.gallery.dialogs.submitBlocked.ok":"確定","codex.gallery.dialogs.submitBlocked.title":"無法傳送訊息","codex.gallery.dialogs.title":"對話方塊","codex.gallery.dropdown.filterPlaceholder":"篩選項目","codex.gallery.dropdowns.actionRow":"動作列","codex.gallery.dropdowns.actionRow.disabled":"已停用動作","codex.gallery.dropdowns.actionRow.primary":"主要動作","codex.gallery.dropdowns.actionRow.secondary":"次要動作","codex.gallery.dropdowns.actionRow.trigger":"顯示動作","codex.gallery.dropdowns.basic":"基本下拉式清單","codex.gallery.dropdowns.basic.newFile":"新增檔案","codex.gallery.dropdowns.basic.newFolder":"新增資料夾","codex.gallery.dropdowns.basic.openSettings":"開啟設定","codex.gallery.dropdowns.basic.title":"快速動作","codex.gallery.dropdowns.basic.trigger":"開啟功能表","codex.gallery.dropdowns.basic.upload":"上傳","codex.gallery.dropdowns.panel":"面板介面","codex.gallery.dropdowns.panel.apply":"套用","codex.gallery.dropdowns.panel.body":"查看差異並將其套用至你的專案。","codex.gallery.dropdowns.panel.preview":"預覽","codex.gallery.dropdowns.panel.title":"套用變更","codex.gallery.dropdowns.panel.trigger":"開啟面板","codex.gallery.dropdowns.search":"可搜尋下拉式清單","codex.gallery.dropdowns.search.first":"Alpha 頻道","codex.gallery.dropdowns.search.second":"Beta 分支","codex.gallery.dropdowns.search.third":"發佈候選","codex.gallery.dropdowns.search.trigger":"篩選項目","codex.gallery.dropdowns.submenu":"帶有子功能表的下拉式清單","codex.gallery.dropdowns.submenu.optionA":"專案 Alpha","codex.gallery.dropdowns.submenu.optionB":"專案 Beta","codex.gallery.dropdowns.submenu.optionC":"專案 Gamma","codex.gallery.dropdowns.submenu.primary":"指派擁有者","codex.gallery.dropdowns.submenu.secondary":"移至","codex.gallery.dropdowns.submenu.tertiary":"封存","codex.gallery.dropdowns.submenu.trigger":"選擇動作","codex.gallery.dropdowns.title":"下拉式清單","codex.gallery.inbox.automations.close":"關閉","codex.gallery.inbox.automations.popover.cardTitle":"管理自動化","codex.gallery.inbox.automations.popover.dialogTitle":"管理自動化","codex.header.settingsTooltip":"設定","codex.hunk.patch.error":"無法暫存","codex.hunk.patch.missing":"無法為此程式碼區塊建立修補程式。","codex.hunk.patch.partialSuccess":"部分成功","codex.hunk.patch.revertError":"無法取消暫存","codex.hunk.patch.revertSuccess":"已成功取消暫存","codex.hunk.patch.success":"已成功暫存","codex.legal.autonomy.details":"更多詳細資料，請查看 {link}","codex.legal.autonomy.details.link":"Codex 文件","codex.legal.autonomy.title":"決定你想授予他們多少自主權","codex.legal.backButton":"上一步","codex.legal.cloud.taskOne.meta":"openai/agi · 10 月 12 日","codex.legal.cloud.taskOne.title":"向新設計師解釋儲存庫","codex.legal.cloud.taskThree.meta":"openai/codex · 10 月 8 日","codex.legal.cloud.taskThree.stats.negative":"-123","codex.legal.cloud.taskThree.stats.positive":"+249","codex.legal.cloud.taskThree.title":"建立深色模式主題","codex.legal.cloud.taskTwo.meta":"openai/agi · 10 月 9 日","codex.legal.cloud.taskTwo.stats.negative":"-20","codex.legal.cloud.taskTwo.stats.positive":"+2","codex.legal.cloud.taskTwo.title":"修正上線錯誤","codex.legal.continue.apikey":"繼續","codex.legal.continueButton":"下一步","codex.legal.copilot.details":"所有模型調用、計費和速率限制皆使用你的 Copilot 方案。Codex 擴充功能的使用受 {oaiTos} 和 {gitHubTos} 的限制。","codex.legal.copilot.gitHubTosLink":"GitHub 服務條款","codex.legal.copilot.oaiTosLink":"OpenAI Codex 服務條款","codex.legal.copilot.title":"由 GitHub Copilot 提供支援","codex.legal.mistakes.review":"審查它編寫的程式碼和正在執行的指令","codex.legal.mistakes.title":"Codex 可能會出錯","codex.legal.powered.details":"使用你方案的速率限制和 {link}","codex.legal.powered.details.link":"訓練資料喜好設定","codex.legal.powered.title":"由你的 ChatGPT 帳戶提供支援","codex.legal.step.cloud.subtitle":"將任務傳送給 Codex 以在背景執行，讓你保持專注、加速工作流程。","codex.legal.step.cloud.title":"移交至雲端 Codex 處理","codex.legal.step.intro.subtitle":"Codex 可以直接在你的儲存庫中尋覽、編輯、執行指令和執行測試。由你的 ChatGPT 帳戶提供支援。","codex.legal.step.intro.title":"你的 IDE 中的 Codex","codex.legal.step.todo.subtitle":"編寫待辦事項註解並單鍵轉換為 Codex 任務。","codex.legal.step.todo.title":"將待辦事項轉換為 Codex 任務","codex.legal.todo.heading":"// 待辦事項：實施結構描述","codex.localConversation.closeImagePreview":"關閉圖像預覽","codex.localConversation.userImageAttachment":"使用者附件","codex.localTaskRow.archiveTask":"封存對話串","codex.localTaskRow.awaitingApproval":"正在等待核准","codex.localTaskRow.awaitingResponse":"等待回應","codex.localTaskRow.confirmArchiveTask":"確認","codex.loggedOut.apiKeyPrompt.cancel":"取消","codex.loggedOut.apiKeyPrompt.confirm":"確定","codex.loggedOut.apiKeyPrompt.getKey":"取得 API 金鑰","codex.loggedOut.apiKeyPrompt.inputLabel":"輸入你的 OpenAI API 金鑰","codex.loggedOut.apiKeyPrompt.placeholder":"sk-…","codex.loggedOut.cloudTasksDisabledWithApiKey":"雲端任務已停用 API 金鑰","codex.loggedOut.cloudTasksDisabledWithCopilotAndApiKey":"雲端任務已停用 Copilot 和 API 金鑰","codex.loggedOut.signIn":"使用 ChatGPT 登入","codex.loggedOut.signIn.cancel":"取消登入","codex.loggedOut.signInWithCopilot":"使用 GitHub Copilot 登入","codex.loggedOut.title":"Codex","codex.loggedOut.useApiKey":"使用 API 金鑰","codex.mcpTool.collapsedLabel":"{label} {details}","codex.mcpTool.collapsedLabel.details":"{server} MCP {tool} 工具","codex.mcpTool.collapsedLabel.verb.called":"已調用","codex.mcpTool.collapsedLabel.verb.calling":"正在調用","codex.mcpTool.embeddedResource.contentLabel":"內容","codex.mcpTool.embeddedResource.mimeTypeLabel":"MIME 類型","codex.mcpTool.embeddedResource.uriLabel":"URI","codex.mcpTool.noResult":"工具未傳回任何內容","codex.mcpTool.rawPayloadHeading":"原始 {server}.{tool} 工具調用有效承載","codex.menu.recent":"最近","codex.menu.seeAllHistory":"查看所有歷程紀錄","codex.modelCapacityBanner.headline.noReset":"{modelName} 目前已達容量上限。請稍後再試一次，或使用其他模型開始新對話。","codex.modelCapacityBanner.headline.withReset":"{modelName} 目前已達容量上限。請 {resetDate} 後再試一次，或使用其他模型開始新對話。","codex.modelCapacityBanner.title":"選取的模型已達容量上限","codex.patch.change.contentsDeleted":"已刪除内容","codex.patch.change.created":"已建立","codex.patch.change.created-file":"已建立檔案","codex.patch.change.creating":"正在建立","codex.patch.change.deleted":"已刪除","codex.patch.change.deleted-file":"已刪除檔案","codex.patch.change.deleting":"正在刪除","codex.patch.change.edited":"已編輯","codex.patch.change.edited-file":"已編輯檔案","codex.patch.change.editing":"正在編輯","codex.patch.change.noChanges":"沒有變更","codex.patch.change.rejected-add":"已拒絕","codex.patch.change.rejected-delete":"已拒絕","codex.patch.change.rejected-edit":"已拒絕","codex.plan.stepIndexPrefix":"{index}。","codex.plan.tasksCompletedSummary":"已完成 {completed} 項任務，共 {total} 項任務","codex.plan.todoListCreated":"已建立包含 {total} 項任務的待辦清單","codex.profileDropdown.apiKeyAuth":"已使用 API 金鑰登入","codex.profileDropdown.codexSettings":"Codex 設定","codex.profileDropdown.copilotAuth":"已使用 Copilot 登入","codex.profileDropdown.defaultAccountTitle":"預設帳戶","codex.profileDropdown.enterBehavior":"{modifierSymbol} + Enter 鍵可傳送長提示詞","codex.profileDropdown.enterBehaviorError":"無法更新設定","codex.profileDropdown.getPlus":"升級以獲得更高限額","codex.profileDropdown.keyboardShortcuts":"鍵盤快速鍵","codex.profileDropdown.language":"語言","codex.profileDropdown.languageDefault":"自動偵測","codex.profileDropdown.languageSearchPlaceholder":"搜尋語言","codex.profileDropdown.languageUpdateError":"無法更新語言","codex.profileDropdown.logOut":"登出","codex.profileDropdown.mcp":"MCP 設定","codex.profileDropdown.openConfigToml":"開啟 config.toml","codex.profileDropdown.openConfigToml.wsl":"在 WSL 環境中開啟 config.toml","codex.profileDropdown.openExtensionSettings":"開啟設定","codex.profileDropdown.openMcpSettings":"開啟 MCP 設定","codex.profileDropdown.openOnStartup":"啟動時開啟","codex.profileDropdown.openOnStartupError":"無法更新設定","codex.profileDropdown.openSkillsSettings":"開啟技能設定","codex.profileDropdown.personalAccountTitle":"個人帳戶","codex.profileDropdown.queueFollowUps":"將後續跟進排入佇列","codex.profileDropdown.queueFollowUpsError":"無法更新設定","codex.profileDropdown.readDocs":"讀取文件","codex.profileDropdown.readSkillsDocs":"讀取文件","codex.profileDropdown.runInWsl":"在 WSL 中執行","codex.profileDropdown.runInWslError":"無法更新設定","codex.profileDropdown.runInWslTooltip":"在 WSL 環境執行 Codex。建議使用以改善沙箱安全性和運行效能。","codex.profileDropdown.settings":"IDE 設定","codex.profileDropdown.settingsPage":"設定","codex.profileDropdown.signInWithOpenAI":"使用 ChatGPT 登入","codex.profileDropdown.skills":"技能設定","codex.profileDropdown.switchToCopilotAccount":"使用 Copilot 帳戶","codex.profileDropdown.switchToOpenAIAccount":"使用 OpenAI 帳戶","codex.profileDropdown.todoCodelens":"修正待辦事項註解","codex.profileDropdown.todoCodelensError":"無法更新設定","codex.profileDropdown.windowsDocumentation":"Windows 文件","codex.profileFooter.signedInFallback":"設定","codex.profileFooter.upgrade":"升級","codex.recentTasksMenu.clearSearch":"清除搜尋","codex.recentTasksMenu.cloud":"雲端任務","codex.recentTasksMenu.count":"{count, plural, =0 {沒有執行中的任務} other {正在進行 # 項任務}}","codex.recentTasksMenu.empty":"還沒有對話串","codex.recentTasksMenu.errorCloud":"無法載入任務。","codex.recentTasksMenu.errorCloud.inline":"無法載入雲端任務。","codex.recentTasksMenu.filterAll":"全部","codex.recentTasksMenu.filterCloudTasks":"篩選雲端任務","codex.recentTasksMenu.filterTooltip":"依環境篩選任務","codex.recentTasksMenu.local":"本機任務","codex.recentTasksMenu.recent":"所有任務","codex.recentTasksMenu.search":"搜尋最近的任務","codex.recentTasksMenu.searchEmpty":"沒有任何結果","codex.recentTasksMenu.tooltip":"任務歷程紀錄","codex.recentTasksMenu.trigger":"最近的任務。{count, plural, other {# 個處理中}}","codex.remoteConversation.applyDiff.applyCta":"套用變更","codex.remoteConversation.applyDiff.dropdownTitle":"將變更套用到本機分支","codex.remoteConversation.applyDiff.revertCta":"還原變更","codex.remoteConversation.closeImagePreview":"關閉圖像預覽","codex.remoteConversation.codexCloudTask":"你正在檢視 <u>Codex 雲端</u>任務","codex.remoteConversation.errorWithMessage":"錯誤：{message}","codex.remoteConversation.loadingImage":"正在載入圖像","codex.remoteConversation.openInWeb":"在網頁中開啟","codex.remoteConversation.streaming":"開始使用","codex.remoteConversation.turnFailed":"執行此任務時發生錯誤","codex.remoteConversation.turnTab.loading":"嘗試 {number}","codex.remoteConversation.turnTab.title":"嘗試 {number}","codex.remoteConversation.userImageAttachment":"使用者附件","codex.remoteConversation.viewPreviousTurns":"在網頁中開啟","codex.remoteConversation.viewPreviousTurns.buttonText":"開啟","codex.remoteConversation.viewPreviousTurns.buttonTooltip":"在網頁中開啟","codex.review.copyGitApplyCommand":"複製 git 套用命令","codex.review.copyGitApplyCommand.toast":"已將 git 套用命令複製至剪貼簿","codex.review.diffTooLarge.description":"此差異過大，無法在「審核」中顯示。","codex.review.diffTooLarge.title":"差異過大，無法顯示","codex.review.expandOrCollapseDiffButton.collapse":"摺疊所有差異","codex.review.expandOrCollapseDiffButton.expand":"展開所有差異","codex.review.expandOrCollapseDiffMenu.collapse":"摺疊所有差異","codex.review.expandOrCollapseDiffMenu.expand":"展開所有差異","codex.review.fileSearch.clear":"清除檔案篩選條件","codex.review.fileSearch.empty":"沒有檔案與目前的篩選器相符。","codex.review.fileSearch.label":"篩選檔案","codex.review.fileSearch.placeholder":"篩選檔案…","codex.review.filesChanged":"{num, plural, =0 {沒有已變更的檔案} other {已變更 # 個檔案}}","codex.review.find.loadMore":"載入更多相符項目","codex.review.fullReview.hideFileTree":"隱藏檔案樹","codex.review.fullReview.showFileTree":"顯示檔案樹","codex.review.header.moreOptions":"審閱選項","codex.review.largeDiff.banner":"偵測到較大差異——一次顯示一個檔案。","codex.review.loadFullFiles.disable":"不要載入完整檔案","codex.review.loadFullFiles.enable":"載入完整檔案","codex.review.noDiff":"檔案變更將顯示在此處","codex.review.noDiff.gitInit.createRepository":"建立 git 儲存庫","codex.review.noDiff.gitInit.creating":"正在建立…","codex.review.noDiff.gitInit.error":"Git 初始化失敗：{message}","codex.review.noDiff.gitInit.success":"已建立 Git 儲存庫","codex.review.noDiff.gitRepoRequired.description":"在此專案中追蹤和撤銷變更","codex.review.noDiff.gitRepoRequired.title":"建立 Git 儲存庫","codex.review.noDiff.orNoLongerAvailable":"或最新的差異已無法使用","codex.review.noDiff.reverted":"上一個輪次已經還原","codex.review.noDiff.revertedOrCommitted":"上一個輪次已經還原或提交","codex.review.refreshGitQueries":"重新整理","codex.review.revert.file.error":"無法還原 {path}","codex.review.revert.file.partialSuccess":"已部分還原 {path}","codex.review.revert.file.success":"已還原 {path}","codex.review.revert.hunk.error":"無法還原 {path} 中的程式碼區塊 {hunkNumber}","codex.review.revert.hunk.partialSuccess":"已部分還原 {path} 中的程式碼區塊 {hunkNumber}","codex.review.revert.hunk.success":"已還原 {path} 中的程式碼區塊 {hunkNumber}","codex.review.revert.section.error":"無法還原區段","codex.review.revert.section.partialSuccess":"已部分還原區段","codex.review.revert.section.success":"已還原區段","codex.review.revertDialog.cancel":"取消","codex.review.revertDialog.confirm":"確認","codex.review.revertDialog.message":"此動作會移除所有變更。","codex.review.revertDialog.skip":"不再詢問","codex.review.revertDialog.title":"是否還原變更？","codex.review.richPreview.disable":"停用豐富預覽","codex.review.richPreview.enable":"啟用豐富預覽","codex.review.source.cloud":"雲端變更","codex.review.source.local.all":"所有分支變更","codex.review.source.local.lastTurn":"最後一輪變更","codex.review.source.local.uncommitted":"未提交的變更","codex.review.source.worktree":"未提交的工作樹變更","codex.review.stageFilter.empty.staged.description":"接受編輯以便暫存","codex.review.stageFilter.empty.staged.title":"沒有已暫存的變更","codex.review.stageFilter.empty.unstaged.description":"程式碼變更將顯示在此處","codex.review.stageFilter.empty.unstaged.title":"沒有已取消暫存的變更","codex.review.stageFilter.staged":"已暫存","codex.review.stageFilter.staged.count":"已暫存 · {count}","codex.review.stageFilter.unstaged":"已取消暫存","codex.review.stageFilter.unstaged.count":"已取消暫存 · {count}","codex.review.switchToSplit":"切換到拆分差異","codex.review.switchToUnified":"切換至整合差異","codex.review.toggleDiffView":"切換差異視圖","codex.review.wordDiffs.disable":"停用字詞差異","codex.review.wordDiffs.enable":"啟用字詞差異","codex.review.wrap.disable":"停用自動換行","codex.review.wrap.enable":"啟用自動換行","codex.section.patch.missing":"無法為此區段建立修補程式。","codex.shell.collapse":"摺疊 Shell","codex.shell.commandLine":"$ {command}","codex.shell.copy.copiedTooltip":"已複製 Shell 内容","codex.shell.copy.copyTooltip":"複製 Shell 内容","codex.shell.copyCommand":"複製指令","codex.shell.copyOutput":"複製輸出","codex.shell.cwdLabel":"cwd","codex.shell.embeddedHeader.bash":"Bash","codex.shell.expand":"展開 Shell","codex.shell.name":"Shell","codex.shell.noOutput":"沒有輸出","codex.signInFailed.message":"登入失敗：{rawMessage}","codex.stories.toast.show":"顯示快顯通知","codex.stories.tooltip.basic":"這是一個工具提示","codex.stories.tooltip.hoverMe":"暫留於此","codex.stories.tooltip.largerOffset":"此工具提示具有更大的偏移量","codex.stories.tooltip.offsetButton":"更大的偏移量","codex.stories.tooltip.shortcutButton":"使用快捷鍵","codex.stories.tooltip.withShortcut":"切換終端","codex.taskRow.title":"新增對話串","codex.taskRowLayout.confirm":"確認","codex.threadFindBar.chatFilter":"搜尋聊天","codex.threadFindBar.close":"關閉尋找","codex.threadFindBar.diffFilter":"搜尋差異","codex.threadFindBar.label":"在對話串中尋找","codex.threadFindBar.nextResult":"下一個結果","codex.threadFindBar.noResults":"0 個結果","codex.threadFindBar.placeholder":"搜尋對話串…","codex.threadFindBar.placeholder.extension":"搜尋對話串…","codex.threadFindBar.placeholder.review":"搜尋差異…","codex.threadFindBar.placeholder.review.extension":"搜尋差異…","codex.threadFindBar.previousResult":"上一個結果","codex.todoPlan.stepIndexPrefix":"{index}。","codex.ui.bulletSeparator":"。","codex.unifiedDiff.filesChanged":"{fileCount, plural, other {已變更 # 個檔案}}","codex.unifiedDiff.inlineLargeFile":"檔案過大，無法內嵌呈現","codex.unifiedDiff.linesAdded":"+{linesAdded}","codex.unifiedDiff.linesDeleted":"-{linesDeleted}","codex.unifiedDiff.revertChangesTooltip":"復原","codex.unifiedDiff.revertPatchError":"無法還原變更","codex.unifiedDiff.revertPatchSuccess":"已還原變更","codex.unifiedDiff.reviewChangesSuffix":"變更","codex.unifiedDiff.reviewShort":"審閱","codex.unifiedDiff.viewDiffTooltip":"查看","codex.upsellBanner.business.headline":"若要立即獲得更多存取權，請將要求傳送給你的管理員，或等候至 {resetDate}。","codex.upsellBanner.cbp.headline":"若要立即獲得更多存取權，請將要求傳送給你的管理員。","codex.upsellBanner.cta.addCredits":"新增積分","codex.upsellBanner.cta.upgradeAccount":"升級","codex.upsellBanner.cta.viewUsage":"檢視使用情況","codex.upsellBanner.free.trialHeadline":"你的速率限制將於 {resetDate} 重設。若要繼續使用 Codex 並存取 GPT-5.3-Codex，請立即開始免費試用你的 Plus。","codex.upsellBanner.freeOrGo.headline":"你的速率限制將於 {resetDate} 重設。若要繼續使用 Codex，請立即升級至 Plus。","codex.upsellBanner.general.headline":"你的速率限制將於 {resetDate} 重設。","codex.upsellBanner.general.title":"你的 Codex 訊息傳送額度不足","codex.upsellBanner.go.trialHeadline":"你的速率限制將於 {resetDate} 重設。若要繼續使用 Codex，請立即開始免費試用你的 Plus。","codex.upsellBanner.plus.headline":"你的速率限制將於 {resetDate} 重設。若要繼續使用 Codex，請新增積分或立即升級至 Pro。","codex.upsellBanner.pro.headline":"你的速率限制將於 {resetDate} 重設。請立即新增積分以繼續使用 Codex。","codex.userMessage.autoResolveSync":"自動解決衝突","codex.userMessage.commentCount":"{count, plural, other {# 則評論}}","codex.userMessage.copiedAriaLabel":"已複製","codex.userMessage.copiedTooltip":"已複製","codex.userMessage.copyAriaLabel":"複製訊息","codex.userMessage.copyTooltip":"複製","codex.userMessage.implementPlan":"實作方案","codex.userMessage.noContent":"(沒有內容)","codex.userMessage.priorConversation":"參考之前的對話","codex.userMessage.reviewMode":"審查模式","codex.webSearch.summary":"{label}{details}","codex.webSearch.summary.details":"適用於 {query}","codex.webSearch.summary.verb.completed":"已搜尋網頁","codex.webSearch.summary.verb.inProgress":"正在搜尋網頁","codex.windowsInstallWslBanner.dismiss":"解除","codex.windowsInstallWslBanner.installWslCta":"啟用沙箱","codex.windowsInstallWslBanner.learnMore":"深入了解","codex.windowsSandboxBanner.content":"智慧體模式在 Windows 上使用實驗性沙箱來限制檔案系統和網路存取權。{sandboxLink}","codex.windowsSandboxBanner.title":"為智慧體模式啟用沙箱","codex.windowsSubDropdown.windowsSandbox":"Windows 沙箱","codex.windowsSubDropdown.windowsSettings":"Windows 設定","codexUpgradeModal.body":"我們最新的前沿智慧體編碼模型——更聰明、更快速、更擅長通用技術工作。{link}","codexUpgradeModal.close":"關閉","codexUpgradeModal.image.altText":"GPT-5.3-Codex","codexUpgradeModal.smarterAndFaster":"深入了解","codexUpgradeModal.title":"介紹 GPT-5.3-Codex","codexUpgradeModal.tryNewModel":"立即試用 GPT-5.3-Codex","codexUpgradeModal.useExistingModel":"繼續使用目前的模型","commentAttachments.numComments":"{count, plural, other {# 則評論}}","commentAttachments.removeAriaLabel":"移除評論附件","common.close":"關閉","composer.addContext.openFilePickerError":"無法開啟檔案選擇器","composer.addContextDropdown.ariaLabel":"新增檔案等更多功能","composer.addContextDropdown.tooltipSlash":"/","composer.addContextDropdown.tooltipText":"新增檔案等更多功能","composer.addPhotosAndFiles":"新增照片和檔案","composer.atMentionList.emptyQuery":"輸入以搜尋檔案","composer.atMentionList.loading":"正在搜尋…","composer.atMentionList.noResults":"無任何結果","composer.attemptsSelector.option":"{count, plural, other {# 個版本}}","composer.attemptsSelector.tooltip":"Codex 平行嘗試次數","composer.attemptsSelector.trigger":"{count}x","composer.backgroundTerminals.stop":"停止","composer.cloudFollowUp.cloud":"雲端","composer.cloudFollowUp.local":"本機","composer.cloudFollowUp.whereRun":"應在何處執行這項後續跟進動作？","composer.cloudTaskCreationError":"建立雲端任務時發生錯誤","composer.cloudTaskError":"建立任務時發生錯誤","composer.contextWindow.autoCompactionTooltipLine1":"Codex 會自動壓縮上下文","composer.contextWindow.usagePercent":"{usage}%","composer.contextWindowUsageLabel":"上下文視窗：","composer.contextWindowUsageStatusFull":"{usage}% 滿","composer.contextWindowUsageStatusLeft":"已使用 {usage}%（剩餘 {remaining}%）","composer.contextWindowUsageTooltip":"已使用 {usedTokens}k / {contextWindow}k 個自字元","composer.customCliTooltip":"使用自訂 CLI 可執行檔","composer.dictation.aria":"聽寫","composer.dictation.cancel.aria":"停止聽寫","composer.dictation.cancel.tooltip":"停止聽寫","composer.dictation.startError":"無法開始聽寫","composer.dictation.submit.aria":"轉錄並傳送","composer.dictation.submit.tooltip":"轉錄並傳送","composer.dictation.tooltip":"按住以聽寫","composer.dictation.transcribeError":"無法轉錄音訊","composer.dictation.unsupported":"此裝置無法使用聽寫功能","composer.dropOverlay.holdShift":"按住 {key} 以拖曳","composer.dropOverlay.shiftKey":"Shift 鍵","composer.environmentSelector.createNew":"建立新環境","composer.environmentSelector.error":"載入環境時發生錯誤","composer.environmentSelector.goBack":"返回編輯器","composer.environmentSelector.title":"選取環境","composer.environmentSelector.tooltip":"選取雲端環境","composer.feedbackSlashCommand.title":"回饋","composer.filePicker.selectFile":"選取檔案","composer.filePicker.selectFiles":"選取檔案","composer.followerTooltip":"若要繼續，請返回此對話開始的視窗。","composer.footer.branchSwitch.checkoutError":"無法切換分支：{message}","composer.footer.branchSwitch.createAndCheckout":"建立並檢出新分支…","composer.footer.branchSwitch.createAndCheckout.disabledTooltip":"提交變更以建立並檢出新分支","composer.footer.branchSwitch.createBranchError":"無法建立分支：{message}","composer.footer.branchSwitch.createDialog.ariaLabel":"分支名稱","composer.footer.branchSwitch.createDialog.branchExistsError":"分支已存在。","composer.footer.branchSwitch.createDialog.close":"關閉","composer.footer.branchSwitch.createDialog.createAndCheckout":"建立與檢出","composer.footer.branchSwitch.createDialog.placeholder":"新分支","composer.footer.branchSwitch.createDialog.title":"建立並檢出分支","composer.footer.branchSwitch.createDialog.trailingSlashError":"分支名稱的結尾不得為「/」","composer.footer.branchSwitch.tooltip":"切換分支","composer.footer.branchSwitch.uncommittedDialog.body.noDiff":"提交 {fileCount, plural, other {# 個檔案}} 中的變更以檢出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.bodyPrefix.withDiff":"提交","composer.footer.branchSwitch.uncommittedDialog.bodySuffix.withDiff":"{fileCount, plural, other {# 個檔案}}中的變更以檢出 {branchName}。","composer.footer.branchSwitch.uncommittedDialog.cancel":"取消","composer.footer.branchSwitch.uncommittedDialog.commit":"提交並切換分支…","composer.footer.branchSwitch.uncommittedDialog.conflict.bodyPrefix":"你對以下檔案的變更將被檢出覆寫：","composer.footer.branchSwitch.uncommittedDialog.conflict.bodySuffix":"請提交你的變更以繼續","composer.footer.branchSwitch.uncommittedDialog.targetBranchFallback":"已選取分支","composer.footer.branchSwitch.uncommittedDialog.title":"提交變更以切換分支","composer.footer.branchSwitch.uncommittedSummaryPrefix":"未提交：{fileCount, plural, other {# 個檔案}}","composer.forkSlashCommand.description":"將此對話串分叉到本機或新的工作樹","composer.forkSlashCommand.option.local.description":"在新的本機對話串中繼續","composer.forkSlashCommand.option.local.title":"分叉到本機","composer.forkSlashCommand.option.worktree.description":"在新的工作樹中繼續","composer.forkSlashCommand.option.worktree.title":"分叉到新的工作樹","composer.forkSlashCommand.title":"分叉","composer.ideContextIndicator":"IDE 上下文","composer.ideContextIndicator.tooltipSlashCommand":"/ide","composer.ideContextIndicator.tooltipText":"包含來自 IDE 的上下文","composer.ideContextIndicator.tooltipToggle":"以切換","composer.ideContextSlashCommand.disableDescription":"關閉 IDE 上下文","composer.ideContextSlashCommand.enableDescription":"來自 IDE 的目前選取項目、開啟的檔案和其他上下文","composer.ideContextSlashCommand.title":"IDE 上下文","composer.imageInputsUnsupported":"此模型不支援圖像輸入。請嘗試其他模型。","composer.imageUploadFailed":"無法上傳圖像","composer.includeIdeContextDropdown":"包括 IDE 上下文","composer.includeIdeContextDropdown.ariaLabel":"包括 IDE 上下文","composer.localCwdDropdown.addWorkspaceRoot":"新增新的專案","composer.localCwdDropdown.noActiveRoot":"選取你的專案","composer.localCwdDropdown.noResults":"找不到資料夾","composer.localCwdDropdown.title":"選取你的專案","composer.localTaskError":"開始對話時發生錯誤","composer.mcpSlashCommand.description":"顯示 MCP 伺服器狀態","composer.mcpSlashCommand.title":"MCP","composer.mcpStatus.authLoggedOut":"未通過身分驗證","composer.mcpStatus.authOauth":"已通過身分驗證 (OAuth)","composer.mcpStatus.authToken":"已通過身分驗證（API 金鑰）","composer.mcpStatus.authUnsupported":"標準輸入/輸出","composer.mcpStatus.close":"關閉","composer.mcpStatus.disabled":"已停用","composer.mcpStatus.emptyLabel":"伺服器：","composer.mcpStatus.emptyValue":"未設定 MCP 伺服器","composer.mcpStatus.enabled":"已啟用","composer.mcpStatus.errorLabel":"狀態：","composer.mcpStatus.errorValue":"無法載入 MCP 狀態","composer.mcpStatus.heading":"MCP","composer.mode.agentMode.auto":"代理程式","composer.mode.agentMode.auto.dropdownLabel":"代理程式","composer.mode.agentMode.auto.optionLabel":"代理程式","composer.mode.agentMode.changePermission":"切換模式","composer.mode.agentMode.custom":"自訂","composer.mode.agentMode.custom.dropdownLabel":"自訂","composer.mode.agentMode.custom.option":"自訂 (config.toml)","composer.mode.agentMode.custom.optionLabel":"自訂 (config.toml)","composer.mode.agentMode.customInfo.cancel":"取消","composer.mode.agentMode.customInfo.cli":"你可以從 CLI 或透過直接編輯檔案調整這些設定。","composer.mode.agentMode.customInfo.confirm":"使用自訂模式","composer.mode.agentMode.customInfo.description":"自訂模式套用你在 config.toml 檔案中定義的核准和<link>沙箱</link>政策。","composer.mode.agentMode.customInfo.docs":"深入了解執行環境文件中的設定核准<link>和沙箱政策</link>。","composer.mode.agentMode.customInfo.refresh":"任何變更將在下次執行代理程式時生效。","composer.mode.agentMode.customInfo.title":"自訂模式如何運作","composer.mode.agentMode.fullAccess":"代理程式（完整存取權）","composer.mode.agentMode.fullAccess.dropdownLabel":"代理程式（完整存取權）","composer.mode.agentMode.fullAccess.optionLabel":"代理程式（完整存取權）","composer.mode.agentMode.fullAccessConfirm.caution":"啟用完整存取權時請務必謹慎。這會大幅增加資料遺失、外洩或出現意外行為的風險。","composer.mode.agentMode.fullAccessConfirm.confirm":"是的，仍要繼續","composer.mode.agentMode.fullAccessConfirm.description":"當 Codex 以完整存取權執行時，它無需經過你的核准即可編輯你電腦上的任何檔案並透過網路執行指令。","composer.mode.agentMode.fullAccessConfirm.goBack":"取消","composer.mode.agentMode.fullAccessConfirm.title":"是否啟用完整存取權？","composer.mode.agentMode.readOnly":"聊天","composer.mode.agentMode.readOnly.dropdownLabel":"聊天","composer.mode.agentMode.readOnly.optionLabel":"聊天","composer.mode.agentMode.tooltip":"切換模式","composer.mode.agentMode.tooltip.auto":"讀取和編輯檔案以及執行指令。","composer.mode.agentMode.tooltip.custom":"使用 config.toml 中定義的最新核准和沙箱政策。","composer.mode.agentMode.tooltip.fullAccess":"Codex 可以編輯此專案以外的檔案，並可透過網路存取權執行指令。使用時請務必謹慎。","composer.mode.agentMode.tooltip.readOnly":"需要核准才能編輯檔案和執行指令。","composer.mode.cloud.tooltip":"在雲端環境工作","composer.mode.contactAdmin":"如需取得更多存取權，請聯絡你的管理員。","composer.mode.local":"本機","composer.mode.local.learnMore":"深入了解","composer.mode.local.model.custom":"自訂","composer.mode.local.model.loadingModel":"正在載入模型","composer.mode.local.model.selecrReasoningEffort":"選取推理","composer.mode.local.model.selectModel":"選取模型","composer.mode.local.model.tooltip":"選擇模型","composer.mode.local.ratePercent":"{usage}%","composer.mode.local.reasoning.high.label":"高","composer.mode.local.reasoning.low.label":"低","composer.mode.local.reasoning.medium.label":"中","composer.mode.local.reasoning.minimal.label":"最小","composer.mode.local.reasoning.none.label":"無","composer.mode.local.reasoning.xhigh.label":"超高","composer.mode.localRemoteWhereRun":"選取任務執行位置","composer.mode.newTask.header":"繼續","composer.mode.rateLimit.day":"{days} 天","composer.mode.rateLimit.heading":"剩餘的速率限制","composer.mode.rateLimit.hour":"{hours} 小時","composer.mode.rateLimit.minute":"{minutes} 分","composer.mode.rateLimit.modelSectionLabel":"{modelName} 限額：","composer.mode.rateLimit.weeklyDynamicSentence":"{weeks, plural, other {{weeks} 週限額}}","composer.mode.rateLimit.weeklyDynamicTitle":"{weeks, plural, other {{weeks} 週}}","composer.mode.remote.connectToCloud":"連接 Codex 網頁","composer.mode.remote.connectToCloudDisabledTooltip":"透過 Codex 網頁設定環境以將任務傳送到雲端","composer.mode.remote.selectEnvironment":"選取環境","composer.mode.remote.sendToCloud":"傳送到雲端","composer.mode.remote.setupViaWeb":"透過 Codex 網頁設定環境","composer.mode.runInCloud":"雲端","composer.mode.runInCloudWithEnvironment":"雲端 · {environment}","composer.mode.segmentedToggle.cloud.tooltip":"在雲端環境工作","composer.mode.segmentedToggle.local.tooltip":"在你的本機專案中工作","composer.mode.segmentedToggle.worktree.tooltip":"在平行工作樹工作","composer.mode.upgradeToPlus":"升級為 Plus","composer.mode.upgradeToPro":"升級為 Pro","composer.mode.workLocally":"本機專案","composer.mode.workLocally.currentBranchFallback":"你的分支","composer.mode.workLocally.tooltip":"在 {branchName} 上工作","composer.mode.worktree":"新工作樹","composer.mode.worktree.submoduleWarning":"此儲存庫包含 git 子模組。工作樹建立可能會失敗","composer.mode.worktree.tooltip":"建立本機專案的副本以平行工作","composer.mode.worktreeSegment":"工作樹","composer.modelChangeDuringConversationWarning.toast":"在對話中變更模型會降低效能。","composer.newChat.heading.browser":"下一步該編寫什麽程式？","composer.permissionsDropdown.agentMode.tooltip.custom":"Codex 使用 config.toml 中定義的權限。","composer.permissionsDropdown.agentMode.tooltip.fullAccess":"Codex 擁有電腦的完整存取權（風險較高）","composer.permissionsDropdown.custom.label":"自訂 (config.toml)","composer.permissionsDropdown.custom.optionLabel":"自訂 (config.toml)","composer.permissionsDropdown.default.label":"預設權限","composer.permissionsDropdown.default.optionLabel":"預設權限","composer.permissionsDropdown.default.tooltip":"Codex 會自動在沙箱中執行命令","composer.permissionsDropdown.disabled.requirements":"權限已被 requirements.toml 鎖定","composer.permissionsDropdown.fullAccess.disabled":"requirements.toml 檔案中已停用完整存取權","composer.permissionsDropdown.fullAccess.label":"完整存取權","composer.permissionsDropdown.fullAccess.optionLabel":"完整存取權","composer.permissionsDropdown.trigger.tooltip":"變更權限","composer.personalitySlashCommand.description.friendly":"熱情、協作、樂於助人","composer.personalitySlashCommand.description.pragmatic":"簡潔、以任務為中心、直接","composer.personalitySlashCommand.label.friendly":"友善","composer.personalitySlashCommand.label.pragmatic":"務實","composer.personalitySlashCommand.notApplicableSuffix":"（不要套用至目前的模型）","composer.personalitySlashCommand.title":"性格","composer.placeholder.cloudFollowUp.directFollowUp":"後續跟進此雲端任務","composer.placeholder.cloudFollowUp.local":"建立參考此雲端任務的新本機任務","composer.placeholder.cloudFollowUp.workingTree":"建立一個包含目前程式碼並將參考此任務的新雲端任務","composer.placeholder.localFollowUp.cloud":"在新雲端任務中進行後續跟進","composer.placeholder.localFollowUp.locally":"要求後續跟進變更","composer.placeholder.newTask.cloud":"要求 Codex 在雲端做任何事","composer.placeholder.newTask.doAnything":"要求 Codex 做任何事","composer.placeholder.newTask.locally":"詢問 Codex 任何事，使用 @ 新增檔案，使用 / 輸入命令","composer.planModeDropdown":"規劃模式","composer.planModeDropdown.ariaLabel":"規劃模式","composer.planModeIndicator":"方案","composer.planModeIndicator.hintShortcut":"cmd + shift + p","composer.planModeIndicator.tooltipShortcut":"{shortcut}","composer.planModeIndicator.tooltipText":"使用 Codex 制定方案","composer.planModeIndicator.tooltipToggle":"以切換","composer.planSlashCommand.disableDescription":"關閉規劃模式","composer.planSlashCommand.enableDescription":"開啟規劃模式","composer.planSlashCommand.title":"規劃模式","composer.priorContext.label":"上一個上下文","composer.priorContext.removeAriaLabel":"移除上一個上下文","composer.queuedMessage.delete":"刪除已排入佇列的訊息","composer.queuedMessage.edit":"編輯訊息","composer.queuedMessage.more":"已排入佇列的訊息動作","composer.queuedMessage.sendNow":"引導","composer.queuedMessage.sendNowTooltip":"立即傳送，不要中斷工作","composer.queuedMessage.turnOff":"關閉排入佇列功能","composer.reasoningEffort.local.reasoning.tooltip":"選取推理程度","composer.remote.branchStartingPoint":"此任務應從哪個分支開始？","composer.remote.branchesSectionHeading":"分支","composer.remote.currentEditsSuffix.followUp":"建立參考此雲端任務的新任務。","composer.remote.currentEditsSuffix.useLocal":"包含本機程式碼變更","composer.remote.directFollowUp":"不要使用本機變更","composer.remote.errorLoadingBranches":"載入分支時發生錯誤","composer.remote.fromBranch":"來自 {branch}","composer.remote.fromCurrentBranch":"來自 {branch}（目前）","composer.remote.loadingMoreBranches":"正在載入…","composer.remote.localFileStateHeading":"本機檔案狀態","composer.remote.localWorkingTree":"使用本機變更","composer.remote.startingPoint":"任務該從哪段程式碼開始？","composer.reviewMode.branches.error":"無法載入分支","composer.reviewMode.branches.retry":"重試","composer.reviewMode.gitRoot.error":"找不到 Git 根目錄","composer.reviewMode.option.baseBranch.simple":"針對基礎分支的審查","composer.reviewMode.option.unstaged.simple":"審查未提交的變更","composer.reviewMode.quickReviewError":"無法啟動程式碼審查。","composer.reviewMode.title":"程式碼審查","composer.sandboxButton.unlock.disabled.tooltip":"requirements.toml 檔案中已停用完整存取權","composer.sandboxButton.windowsSandboxDialog.content":"Codex 在 Windows 上使用實驗性沙箱來限制檔案系統和網路存取權。{sandboxLink}","composer.sandboxButton.windowsSandboxDialog.title":"是否啟用 Windows 沙箱？","composer.sandboxButton.windowsSandboxDialog.useReadOnly":"使用唯讀","composer.searchEnvironments":"搜尋環境","composer.skillMentionList.app":"應用程式","composer.skillMentionList.loading":"正在載入技能…","composer.skillMentionList.noResults":"找不到技能","composer.slashCommands.cloudEnvironment.title":"雲端環境","composer.slashCommands.dialogLabel":"正斜線指令功能表","composer.slashCommands.dialogTitle":"正斜線指令","composer.slashCommands.disabledTooltip":"開始新的對話以使用正斜線指令","composer.slashCommands.inputPlaceholder":"搜尋","composer.slashCommands.noResults":"沒有指令","composer.slashCommands.skillsGroup":"技能","composer.slashCommands.tooltip":"瀏覽正斜線指令","composer.status.close":"關閉","composer.statusPlain.alertLabel":"警示：","composer.statusPlain.alertValue":"{window} 剩餘 {remaining}%","composer.statusPlain.contextLabel":"上下文：","composer.statusPlain.contextTotal":"{count}K","composer.statusPlain.contextValueMetadata":"（已使用 {used}，總計 {total}）","composer.statusPlain.contextValueRemaining":"剩餘 {remaining}%","composer.statusPlain.heading":"狀態","composer.statusPlain.modelRateLimitSectionLabel":"{modelName} 限額：","composer.statusPlain.rateLimitDays":"{count} 天限額","composer.statusPlain.rateLimitFallbackLabel":"速率限制：","composer.statusPlain.rateLimitHours":"{count} 小時限額","composer.statusPlain.rateLimitLabelBase":"速率限制","composer.statusPlain.rateLimitMinutes":"{count} 分鍾限額","composer.statusPlain.rateLimitPercent":"剩餘 {remaining}%","composer.statusPlain.rateLimitReset":"重設時間 {time}","composer.statusPlain.rateLimitResetMetadata":"({phrase})","composer.statusPlain.rateLimitResetUnknown":"無法重設時間","composer.statusPlain.rateLimitUnavailable":"無法使用","composer.statusPlain.sessionCopiedAriaLabel":"已複製工作階段 ID","composer.statusPlain.sessionCopiedTooltip":"已複製 ID","composer.statusPlain.sessionCopyAriaLabel":"複製工作階段 ID","composer.statusPlain.sessionCopyTooltip":"複製 ID","composer.statusPlain.sessionLabel":"工作階段：","composer.statusSlashCommand.description":"顯示對話串 ID、上下文使用情況，以及速率限制","composer.statusSlashCommand.title":"狀態","composer.submit.blockedDialogOk":"確定","composer.submit.blockedDialogTitle":"無法傳送訊息","composer.submit.emptyMessage":"輸入訊息以開始使用","composer.submit.imageInputsUnsupported":"移除圖像或切換模型以傳送此訊息。","composer.submit.loadingLocalConfig":"正在載入…","composer.submit.missingCloudConfig":"你必須選擇一個雲端環境","composer.submit.missingCloudTurn":"無法後續跟進此任務","composer.submit.noWorkspace":"新增專案以使用 Codex","composer.submit.waitForImageUploads":"正在上傳圖像…","composer.submitButtonTooltip.send":"傳送","composer.submitButtonTooltip.stop":"停止","composer.worktreeEnvironment.create":"建立本機環境","composer.worktreeEnvironment.default":"預設環境","composer.worktreeEnvironment.error":"載入環境時發生錯誤","composer.worktreeEnvironment.loading":"正在載入環境…","composer.worktreeEnvironment.title":"本機環境","composer.worktreeEnvironment.tooltip":"選取本機環境","composer.worktreeSetupFailed":"工作樹設定失敗。請檢查 .codex/environments 獲取設定指令碼。","compoundButton.secondaryAction":"次要動作","copyButton.copied":"已複製","copyButton.copiedAriaLabel":"已複製","copyButton.copy":"複製","copyButton.copyAriaLabel":"複製","copyButton.copyCode":"複製代碼","diff.actionButton.revertFile":"還原檔案","diff.actionButton.revertHunk":"還原","diff.actionButton.revertSection":"全部還原","diff.actionButton.revertSectionLabel":"全部還原","diff.actionButton.stageFile":"暫存檔案","diff.actionButton.stageHunk":"暫存","diff.actionButton.stageSection":"全部暫存","diff.actionButton.stageSectionLabel":"全部暫存","diff.actionButton.unstageFile":"取消暫存檔案","diff.actionButton.unstageHunk":"取消暫存","diff.actionButton.unstageSection":"全部取消暫存","diff.actionButton.unstageSectionLabel":"全部取消暫存","diff.fileHeader.toggle":"切換檔案差異","electron.onboarding.login.apikey.cancel":"取消","electron.onboarding.login.apikey.continue":"繼續","electron.onboarding.login.apikey.label":"OpenAI API 金鑰","electron.onboarding.login.apikey.open":"輸入 API 金鑰","electron.onboarding.login.apikey.placeholder":"sk-…","electron.onboarding.login.chatgpt.cancel":"取消登入","electron.onboarding.login.chatgpt.continue":"使用 ChatGPT 帳戶登入","electron.onboarding.login.devbox":"連接到遠端 SSH","electron.onboarding.login.error":"登入失敗：{rawMessage}","electron.onboarding.login.snake.start":"玩貪貪蛇","electron.onboarding.login.sshConfig.cancel":"取消","electron.onboarding.login.sshConfig.continue":"繼續","electron.onboarding.login.sshConfig.hostnameLabel":"SSH 主機名稱","electron.onboarding.login.sshConfig.hostnamePlaceholder":"devbox.openai.com","electron.onboarding.login.subtitle":"與代理程式合作的最佳方式","electron.onboarding.login.title":"歡迎使用 Codex","electron.onboarding.shell.title":"Codex","electron.onboarding.welcome.continue":"繼續","electron.onboarding.welcome.doubleLimits.description":"為了慶祝 Codex 應用程式的發佈，在 4 月 2 日之前，你的速率限制將提高 2 倍。","electron.onboarding.welcome.freego.description":"Codex 已免費包含在你的計劃中，有效期至 3 月 2 日——讓我們一起開始建立。","electron.onboarding.welcome.new.title.anon":"歡迎！","electron.onboarding.workspace.continue":"繼續","electron.onboarding.workspace.empty":"新增專案以繼續。","electron.onboarding.workspace.listLabel":"可用專案","electron.onboarding.workspace.loading":"正在載入專案…","electron.onboarding.workspace.openFolder":"新增專案","electron.onboarding.workspace.selectAll":"全部選取","electron.onboarding.workspace.skip":"跳過","electron.onboarding.workspace.skip.error":"無法建立新專案：{message}","electron.onboarding.workspace.skip.error.unknown":"未知的錯誤","electron.onboarding.workspace.skipping":"正在建立新的專案…","electron.onboarding.workspace.subtitle":"Codex 將能夠編輯選取資料夾中的檔案並執行命令。","electron.onboarding.workspace.title":"選取專案","errorPage.list.checkSettings":"嘗試更新你的 IDE 設定","errorPage.list.configToml":"檢查你的 config.toml 檔案是否有無效設定","errorPage.list.downloadExtension":"嘗試下載擴充功能的其他版本","errorPage.list.runInWsl":"如果遇到相容性問題，請檢查你的設定以停用在 WSL 中執行","execApprovalRequest.menu.runAlways":"是的，此工作階段不要再詢問","execApprovalRequest.menu.runAlwaysWithAmendment":"是的，請不要再詢問以 {command} 開始的命令了","execApprovalRequest.menu.runAlwaysWithAmendment.prefix":"是的，請不要再詢問以以下形式開始的命令了：","execApprovalRequest.menu.runOnce":"是","execApprovalRequest.prompt":"你想要執行此命令嗎？","execApprovalRequest.reject":"否","execFooter.exitCode":"離開代碼 {code}","execFooter.exitCode.unknown":"未知","execFooter.success":"成功","feedback.dialog.category.badResult":"結果不佳","feedback.dialog.category.bug":"錯誤","feedback.dialog.category.goodResult":"結果良好","feedback.dialog.category.other":"其他","feedback.dialog.descriptionPlaceholder":"請在此處說明問題","feedback.dialog.dismiss":"解除","feedback.dialog.includeLogsLabel":"包含目前 Codex 工作階段記錄檔","feedback.dialog.submit":"提交","feedback.dialog.submitError":"我們無法提交你的回饋。請稍後再試一次。","feedback.dialog.title":"回饋","feedback.dialog.uploadedMessage.existingIssue":"現有的未解決問題","feedback.dialog.uploadedMessage.openIssue":"開啟 GitHub 問題","feedback.dialog.uploadedMessage.withThread":"已上傳回饋。如果問題仍然存在，請 {openIssueLink} 或在 {existingIssueLink} 中提及對話串 ID：","feedback.dialog.uploadedTitle":"已上傳回饋","fileAttachment.lineInfo":"{lineInfo}","fileAttachment.removeAriaLabel":"移除 {filename}","header.back":"上一步","header.recentChats":"任務","header.recentTasks.seeAll":"檢視全部({total})","home.header.getPlus":"取得 Plus 版本","home.hero.letsBuild":"讓我們開始建立吧","homePage.mainContent":"主目錄","imageAttachment.defaultName":"圖像","imageAttachment.preview.close":"關閉圖像預覽","imageAttachment.removeAriaLabel":"移除 {filename}","implementPlanRequest.option.implement":"是的，實作此方案","implementPlanRequest.prompt":"是否實作此方案？","inbox.archived.deleteError":"無法刪除已封存的執行結果","inbox.archived.deleteRun":"刪除已封存的執行結果","inbox.archived.deleteSuccess":"已刪除封存的對話串。在<settingsLink>已封存對話串</settingsLink>中檢視。","inbox.archived.inlineLabel.auto":"此對話串已自動封存。<learnMoreLink>深入了解</learnMoreLink>","inbox.archived.inlineLabel.manual":"此對話串已封存。","inbox.archived.noMessageFound":"找不到訊息","inbox.automations.createError":"無法建立自動化","inbox.automations.deleteConfirm.cancel":"取消","inbox.automations.deleteConfirm.confirm":"刪除自動化","inbox.automations.deleteConfirm.description":"這將永久刪除自動化並停止任何未來的執行動作。","inbox.automations.deleteConfirm.title":"刪除 {name}？","inbox.automations.deleteError":"無法刪除自動化","inbox.automations.editTooltip":"編輯自動化","inbox.automations.inProgress":"處理中","inbox.automations.new":"新增","inbox.automations.newToolbar":"新增自動化","inbox.automations.pauseTooltip":"暫停自動化","inbox.automations.resumeTooltip":"恢復自動化","inbox.automations.startingNow":"立即開始","inbox.automations.startsIn":"在 {startTime} 後開始","inbox.automations.status.active":"使用中","inbox.automations.status.paused":"已暫停","inbox.automations.status.runs":"{count} 次執行","inbox.automations.status.started":"已開始 {date}","inbox.automations.updateError":"無法更新自動化","inbox.automations.workspaceFallback":"-","inbox.filter.all":"全部","inbox.filter.ariaLabel":"篩選收件匣項目","inbox.filter.unread":"未讀","inbox.list.archived":"已封存","inbox.list.inProgress":"處理中","inbox.list.recent":"已完成","inbox.list.upNext":"已排程","inbox.mode.automations":"自動化","inbox.mode.automations.beta":"Beta","inbox.noDescription":"沒有提供描述","inbox.openThread":"開啟對話串","inbox.rightPanel.emptySubtitle":"透過設定排程任務來自動化工作","inbox.rightPanel.emptySubtitle.learnMore":"透過設定排程對話串來自動化工作。<link>深入了解</link>","inbox.rightPanel.emptyTasksTitle.activeCount":"{count, plural, other {# 個使用中的自動化}}","inbox.rightPanel.emptyTasksTitle.noneUnread":"沒有未讀自動化","inbox.rightPanel.emptyTasksTitle.unreadCount":"{count, plural, other {# 個未讀自動化}}","inbox.rightPanel.emptyTitle":"沒有選取的項目","inbox.rightPanel.noThread":"此項目沒有對話串","inbox.rightPanel.quickStart.header":"從範本開始","inbox.untitled":"無標題收件匣項目","loadingPage.documentationLink":"文件","loadingPage.errorDescription":"Codex 由於以下錯誤而當機：","loadingPage.errorDescription.documentation":"按一下重新載入以重新啟動 Codex 擴充功能，或造訪我們的 {documentationLink} 以獲得其他協助。","loadingPage.errorSignal":"可以嘗試以下方法：","loadingPage.errorTitle":"發生錯誤","loadingPage.openConfigToml":"開啟 Config.toml","loadingPage.reload":"重新載入","localConversation.contextCompacted":"上下文已自動壓縮","localConversation.contextCompacting":"正在自動壓縮上下文","localConversation.forkedFromConversation":"從 {threadTitle} 分叉","localConversation.merge.autoResolve.failed":"無法要求自動解決：{error}","localConversation.merge.autoResolve.sent":"已傳送自動解決要求","localConversation.merge.autoResolveMerge.missingConversation":"沒有使用中的對話，無法自動解決。","localConversation.merge.autoResolveMerge.request":"自動解決合併衝突","localConversation.modelChanged":"模型已從 {fromModel} 變更為 {toModel}。","localConversation.modelChanged.warning.line1":"在對話中變更模型會降低效能。","localConversation.modelChanged.warning.line2":"上下文可能會自動壓縮。","localConversation.moveThread.createBranch.label":"建立分支","localConversation.moveToLocal.disabled.loading":"正在載入…","localConversation.moveToLocal.modal.continue":"繼續","localConversation.moveToLocal.modal.destinationLabel":"移至","localConversation.moveToLocal.modal.retry":"重試","localConversation.moveToWorktree.modal.back":"上一步","localConversation.moveToWorktree.modal.branchAlreadyExistsError":"分支已存在。","localConversation.moveToWorktree.modal.branchesError":"無法載入分支","localConversation.moveToWorktree.modal.branchesLoading":"正在載入分支…","localConversation.moveToWorktree.modal.branchesRetry":"重試","localConversation.moveToWorktree.modal.continue":"繼續","localConversation.moveToWorktree.modal.retry":"重試","localConversation.moveToWorktree.modal.trailingSlashError":"分支名稱的結尾不得為「/」","localConversation.moveToWorktree.modal.worktreeBranchPlaceholder":"新分支","localConversation.personalityChanged":"已切換到 {personality} 性格","localConversation.planSummary.collapse":"摺疊方案摘要","localConversation.planSummary.collapseTooltip":"摺疊","localConversation.planSummary.download":"下載方案","localConversation.planSummary.expand":"展開方案摘要","localConversation.planSummary.expandTooltip":"展開","localConversation.planSummary.openInNewWindow":"開啟","localConversation.planSummary.openInNewWindow.tooltip":"在新視窗中開啟","localConversation.planSummary.title":"方案","localConversation.planSummary.titleWriting":"正在編寫方案","localConversation.planSummary.viewPlan":"展開方案","localConversation.remoteTaskCreated":"已在 Codex 雲端建立 {taskLink}","localConversation.remoteTaskCreated.task":"任務","localConversation.scrollToBottomButton":"捲動至底部","localConversation.sync.buttonLabel":"移交至本機處理","localConversation.sync.buttonLabel.tooltip":"在此工作樹和本機檢出之間移交變更。","localConversation.sync.modal.loading.title":"正在移交變更…","localConversation.sync.modal.noChanges":"沒有變更","localConversation.syncSetup.branchAriaLabel":"分支名稱","localConversation.syncSetup.branchName":"分支名稱","localConversation.syncSetup.branchPlaceholder.existing":"選取現有分支","localConversation.syncSetup.branchPlaceholder.new":"codex/new-feature","localConversation.syncSetup.branchesLoading":"正在載入分支…","localConversation.syncSetup.checkoutAlreadyCheckedOut":"已檢出","localConversation.syncSetup.checkoutClean":"目前在 {branchName}","localConversation.syncSetup.checkoutDirty":"目前位於 {branchName}，但有未提交的變更","localConversation.syncSetup.checkoutError":"無法檢出分支：{message}","localConversation.syncSetup.checkoutLabel":"立即檢出到本機","localConversation.syncSetup.checkoutOnLocal":"移交至本機處理","localConversation.syncSetup.checkoutPending":"正在檢出本機狀態…","localConversation.syncSetup.checkoutUnavailable":"本機工作空間無法使用","localConversation.syncSetup.checkoutUnknown":"本機分支無法使用","localConversation.syncSetup.continue":"繼續","localConversation.syncSetup.createBranchError":"無法設定處理分支：{message}","localConversation.syncSetup.error":"發生問題：{message}","localConversation.syncSetup.error.workingTreeMissing":"無法建立工作樹快照。請重試移交。","localConversation.syncSetup.mode.ariaLabel":"選取分支模式","localConversation.syncSetup.mode.existing":"現有分支","localConversation.syncSetup.mode.new":"新增分支","localConversation.syncSetup.noBranches":"找不到分支","localConversation.syncSetup.overwriteError":"分支已建立但尚未完整移交。請在本機檢出之前手動移交。","localConversation.syncSetup.setPrefix":"設定前綴","localConversation.syncSetup.subtitle":"在本機測試與編輯工作樹變更。<a>深入了解</a>","localConversation.syncSetup.success.checkedOut":"已建立分支並已檢出到本機","localConversation.syncSetup.success.notCheckedOut":"已建立分支","localConversation.syncSetup.title":"移交至本機分支處理","localConversation.syncWorktreeError.branchAriaLabel":"分支名稱","localConversation.syncWorktreeError.branchPlaceholder.new":"codex/new-feature","localConversation.syncWorktreeError.branchSetup.subtitle":"選擇要移交的分支，然後重試載入變更。","localConversation.syncWorktreeError.branchSetup.title":"更新分支","localConversation.syncWorktreeError.branchUpdate.cta":"更新並重試","localConversation.syncWorktreeError.branchUpdate.error":"無法更新分支：{message}","localConversation.syncWorktreeError.branchUpdate.unknown":"發生問題：{message}","localConversation.syncWorktreeV2.apply.disabled.noCheckout":"分支未檢出到任何工作樹。","localConversation.syncWorktreeV2.applyUncommitted":"套用","localConversation.syncWorktreeV2.applyUncommitted.disabled":"你必須在本機檢出分支才能套用未提交的變更","localConversation.syncWorktreeV2.branches.empty":"找不到分支","localConversation.syncWorktreeV2.branches.loading":"正在載入分支…","localConversation.syncWorktreeV2.changeBranch.ariaLabel":"變更移交分支","localConversation.syncWorktreeV2.changeBranch.error":"無法變更移交分支：{message}","localConversation.syncWorktreeV2.commandError.action.apply":"套用失敗","localConversation.syncWorktreeV2.commandError.action.overwrite-local-to-worktree":"覆寫工作樹失敗","localConversation.syncWorktreeV2.commandError.action.overwrite-worktree-to-local":"覆寫本機失敗","localConversation.syncWorktreeV2.commandError.back":"上一步","localConversation.syncWorktreeV2.commandError.body":"移交過程中 git 命令失敗。請查看輸出並重試。","localConversation.syncWorktreeV2.commandError.retry":"重試","localConversation.syncWorktreeV2.description":"在本機和此工作樹之間移交變更 <a>深入了解</a>。","localConversation.syncWorktreeV2.direction.ariaLabel":"選取移交方向","localConversation.syncWorktreeV2.error.generic":"移交時發生問題。請再試一次。","localConversation.syncWorktreeV2.localBranchLabel":"本機","localConversation.syncWorktreeV2.noChanges":"正在運算變更","localConversation.syncWorktreeV2.noChanges.summary":"沒有變更","localConversation.syncWorktreeV2.overwrite.local":"覆寫本機","localConversation.syncWorktreeV2.overwrite.worktree":"覆寫工作樹","localConversation.syncWorktreeV2.partial.action.applyFailed":"無法套用變更","localConversation.syncWorktreeV2.partial.action.overwriteLocalFailed":"無法覆寫本機變更","localConversation.syncWorktreeV2.partial.action.overwriteWorktreeFailed":"無法覆寫工作樹變更","localConversation.syncWorktreeV2.partial.appliedLabel":"已套用","localConversation.syncWorktreeV2.partial.back":"上一步","localConversation.syncWorktreeV2.partial.body.resolveConflicts":"解決衝突並再試一次。","localConversation.syncWorktreeV2.partial.conflictsLabel":"衝突","localConversation.syncWorktreeV2.partial.fileCount":"{count, plural, other {# 個檔案}}","localConversation.syncWorktreeV2.partial.retry":"重試","localConversation.syncWorktreeV2.partial.skippedLabel":"已略過","localConversation.syncWorktreeV2.stateFailed.generic":"擷取要移交的工作樹變更時發生問題。請再試一次。","localConversation.syncWorktreeV2.stateFailed.title":"無法載入工作樹變更","localConversation.syncWorktreeV2.statusError.diffUnknown":"無法載入工作樹變更。","localConversation.syncWorktreeV2.statusError.retry":"重試","localConversation.syncWorktreeV2.statusError.title":"無法載入本機分支變更","localConversation.syncWorktreeV2.statusError.unknown":"分支狀態目前無法使用。請再試一次。","localConversation.syncWorktreeV2.success.apply":"已成功套用變更","localConversation.syncWorktreeV2.success.overwrite":"移交成功","localConversation.syncWorktreeV2.title":"移交變更","localConversation.syncWorktreeV2.worktreeLabel":"工作樹","localConversation.userInputRequest.inProgress":"正在詢問 {count, plural, other {個問題}}","localConversation.userInputRequest.noAnswer":"沒有提供回答","localConversation.userInputRequest.summary":"{label} {counts}","localConversation.userInputRequest.summary.asked":"已詢問","localConversation.userInputRequest.summary.count":"{count, plural, other {# 個問題}}","localConversation.workedFor":"適用於 {time}","localConversation.worktreeBranchSetup.action.create":"建立","localConversation.worktreeBranchSetup.branchAriaLabel":"分支名稱","localConversation.worktreeBranchSetup.branchPlaceholder.new":"建立新分支","localConversation.worktreeBranchSetup.checkoutDisabled":"此分支已在 {location} 檢出","localConversation.worktreeBranchSetup.checkoutError":"無法檢出分支：{message}","localConversation.worktreeBranchSetup.createBranchError":"無法設定分支：{message}","localConversation.worktreeBranchSetup.error":"發生問題：{message}","localConversation.worktreeBranchSetup.subtitle":"從此工作樹建立分支以提交變更、推播，以及建立 PR。 <a>深入了解</a>","localConversation.worktreeBranchSetup.title":"在此處工作","localConversationPage.addWorktreeToSidebar.tooltip":"另存為專案，這樣你就可以從此工作樹啟動新的對話串","localConversationPage.addWorktreeToSidebarError":"無法新增專案","localConversationPage.commitAndCreatePrModal.errorTitle":"提交和建立 PR 失敗","localConversationPage.commitAndCreatePrModal.successTitle":"已提交並建立 PR","localConversationPage.commitAndPushModal.errorTitle":"提交和推播失敗","localConversationPage.commitAndPushModal.successTitle":"已提交並推播變更","localConversationPage.commitCreatePr.open":"開啟擷取要求","localConversationPage.commitCreatePr.successTitle":"已使用你的最新變更建立 PR","localConversationPage.createBranchButtonLabel":"在此處分支","localConversationPage.createPrModal.baseBranch":"基礎","localConversationPage.createPrModal.baseBranchUnknown":"-","localConversationPage.createPrModal.confirm":"建立 PR","localConversationPage.createPrModal.createDescription":"為你的最新變更開啟擷取要求。","localConversationPage.createPrModal.errorTitle":"擷取要求失敗","localConversationPage.createPrModal.headBranch":"頭","localConversationPage.createPrModal.headBranchUnknown":"-","localConversationPage.createPrModal.open":"開啟 PR","localConversationPage.createPrModal.successTitle":"已建立擷取要求","localConversationPage.createPrModal.title":"建立擷取要求","localConversationPage.createPrModal.viewDescription":"此分支已存在擷取要求。","localConversationPage.createPrModal.viewTitle":"擷取要求準備就緒","localConversationPage.createPullRequestAuthGh":"驗證 GitHub CLI：執行 `gh auth login`","localConversationPage.createPullRequestBranchMissing":"無法使用分支資訊","localConversationPage.createPullRequestButtonLabel":"建立 PR","localConversationPage.createPullRequestButtonLabel.loading":"正在建立 PR…","localConversationPage.createPullRequestDefaultBranchMissing":"無法使用預設分支資訊","localConversationPage.createPullRequestError":"無法建立擷取要求","localConversationPage.createPullRequestExistingPullRequest":"此分支已存在擷取要求","localConversationPage.createPullRequestGhStatusMissing":"正在載入 Github CLI 狀態…","localConversationPage.createPullRequestInstallGh":"安裝 GitHub CLI (gh) 以建立 PR","localConversationPage.createPullRequestNoRepo":"找不到 git 儲存庫","localConversationPage.createPullRequestPushStatusMissing":"正在載入推播狀態…","localConversationPage.createPullRequestSetUpstream":"建立 PR 前推播此分支","localConversationPage.createPullRequestSuccessToast":"已建立擷取要求","localConversationPage.createPullRequestSwitchBranch":"建立 PR 前檢出功能分支","localConversationPage.error.render":"呈現本機對話時發生錯誤","localConversationPage.error.toast":"找不到對話","localConversationPage.forcePushError":"無法強制推播","localConversationPage.generatePullRequestMessageError":"無法產生擷取要求標題和內文","localConversationPage.generatePullRequestMessageFailed":"無法產生擷取要求標題和內文。","localConversationPage.gitActionResult.branch":"分支","localConversationPage.gitActionResult.cancel":"取消","localConversationPage.gitActionResult.close":"關閉","localConversationPage.gitActionResult.tryAgain":"再試一次","localConversationPage.gitActions":"Git 動作","localConversationPage.newChat":"新聊天","localConversationPage.openInTarget":"開啟","localConversationPage.openPrimaryTarget":"開啟","localConversationPage.planItemsCompleted":"共 {totalItems, plural, other {# 項任務}}，已完成 {completedItems} 項","localConversationPage.pushAuthError":"推播失敗：要求使用驗證","localConversationPage.pushBranchMissing":"無法使用分支資訊","localConversationPage.pushButtonLabel":"推播","localConversationPage.pushButtonLabel.loading":"正在推播…","localConversationPage.pushError":"無法推播變更","localConversationPage.pushModal.branchLabel":"分支","localConversationPage.pushModal.branchUnknown":"-","localConversationPage.pushModal.cancel":"取消","localConversationPage.pushModal.confirm":"推播","localConversationPage.pushModal.description":"將你的最新提交推播到遠端儲存庫。","localConversationPage.pushModal.errorTitle":"推播失敗","localConversationPage.pushModal.forcePush":"強制推播","localConversationPage.pushModal.successTitle":"推播完成","localConversationPage.pushModal.title":"推播變更","localConversationPage.pushModal.tryAgain":"再試一次","localConversationPage.pushNoUpstream":"在推播此分支之前設定上游分支","localConversationPage.pushNoUpstreamError":"推播失敗：未設定上游","localConversationPage.pushNothingToPush":"沒有要推播的新提交","localConversationPage.pushRemoteChangedError":"推播失敗：遠端有新的提交","localConversationPage.pushRemoteRejectedError":"推播已被遠端拒絕","localConversationPage.pushStatusMissing":"正在載入推播狀態…","localConversationPage.pushSuccessToast":"已推播變更","localConversationPage.viewPullRequestButtonLabel":"檢視 PR","localConversationPage.viewPullRequestButtonLabel.loading":"正在載入擷取要求…","localConversationTurn.exploration.accordion.count.files":"<countText>{count, plural, other {# 個檔案}}</countText>","localConversationTurn.exploration.accordion.count.lists":"<countText>{count, plural, other {# 份清單}}</countText>","localConversationTurn.exploration.accordion.count.searches":"<countText>{count, plural, other {# 次搜尋}}</countText>","localConversationTurn.exploration.accordion.count.separator":"，","localConversationTurn.exploration.accordion.header.active":"正在探索","localConversationTurn.exploration.accordion.header.active.withCounts":"{counts}","localConversationTurn.exploration.accordion.header.complete":"已探索","localConversationTurn.exploration.accordion.header.complete.withCounts":"已探索 {counts}","localConversationTurnStory.showContent":"顯示內容","localConversationTurnStory.streamContent":"串流內容","localConversationTurnStory.toggleReasoning":"顯示推理","localTaskRow.archiveError":"無法封存對話","localTaskRow.resumeError":"無法繼續任務","mermaidDiagram.ariaLabel":"美人魚圖表","mermaidDiagram.copySource":"複製 Mermaid","mermaidDiagram.originalCode":"美人魚原始程式碼","notifications.permissions.description":"當需要通知權限時顯示提醒","notifications.permissions.label":"啟用權限通知","notifications.turnMode.always":"一律如此","notifications.turnMode.description":"設定 Codex 完成通知時間","notifications.turnMode.label":"切換完成通知","notifications.turnMode.off":"從未","notifications.turnMode.unfocused":"僅在未處於焦點時","patchApprovalRequest.approve":"核准","patchApprovalRequest.menu.allowAlways":"是的，此工作階段不要再詢問","patchApprovalRequest.menu.allowForSession":"是的，此工作階段不要再詢問","patchApprovalRequest.menu.allowOnce":"是","patchApprovalRequest.prompt":"你想做出這些變更嗎？","patchApprovalRequest.reject":"否","patchApprovalRequest.waitingForApproval":"正在等待核准以編輯檔案","pendingRequest.approvalExec.collapse":"摺疊","pendingRequest.approvalExec.expand":"展開","pendingRequestStory.toastAnswer":"回答：{answer}","pendingRequestStory.toastApprovalTitle":"核准回應","pendingRequestStory.toastFollowupPrompt":"提示詞：{prompt}","pendingRequestStory.toastFollowupTitle":"已傳送後續跟進","pendingRequestStory.toastNoAnswers":"沒有提供回答","pendingRequestStory.toastQuestion":"問題：{question}","pendingRequestStory.toastUnknownDecision":"未知","pendingRequestStory.toastUserInputTitle":"已提交回答","quickAction.request.codeReview.branches.new":"請審查 {from} 相對於 {to} 的變更","quickAction.request.codeReview.uncommitted.new":"請審查我未提交的變更","reasoningItem.thinking":"正在思考","reasoningItem.thought":"已思考","reasoningItem.thoughtWithElapsed":"思考 {elapsed}","recentConversations.title":"最近的對話","recentTasks.worktreeInitFailedTitle":"工作樹初始化失敗","recentTasks.worktreeSettingUpTitle":"正在設定工作樹","requestInputPanel.continue":"繼續","requestInputPanel.dismiss":"解除","requestInputPanel.escapeKey":"ESC","requestInputPanel.freeFormPlaceholder":"在此處輸入","requestInputPanel.optionIndex":"{index}。","requestInputPanel.otherPlaceholder":"否，請告知 Codex 應如何調整執行方式","requestInputPanel.selectedBadge":"已選取","requestInputPanel.skip":"跳過","requestInputPanel.submit":"提交","review.commit.ariaLabel.includeUnstaged":"包含已取消暫存的內容","review.commit.buttonLabel":"提交","review.commit.disabled.committing":"正在提交…","review.commit.disabled.loadingDiff":"正在載入差異…","review.commit.disabled.missingContext":"新增一些上下文資訊以產生提交訊息","review.commit.disabled.noChanges":"沒有要提交的變更","review.commit.disabled.noSelection":"選取要提交的變更","review.commit.disabled.unavailable":"目前無法提交","review.commit.error":"無法提交變更","review.commit.form.changesToBeCommitted":"變更","review.commit.form.commitTo":"分支","review.commit.form.commitTo.none":"-","review.commit.form.continue":"繼續","review.commit.form.title":"提交你的變更","review.commit.generate.emptyResponse":"無法產生提交訊息。","review.commit.generate.failed":"無法產生提交訊息：{error}","review.commit.generate.missingPrompt":"新增一些上下文資訊以產生提交訊息。","review.commit.includeUnstaged":"包含已取消暫存的內容","review.commit.loading.description":"請稍候，這可能需要一些時間…","review.commit.loading.step.commit.done":"已提交的變更","review.commit.loading.step.commit.pending":"正在提交變更","review.commit.loading.step.createPr.done":"已建立擷取要求","review.commit.loading.step.createPr.pending":"正在建立擷取要求","review.commit.loading.step.push.done":"已推播至分支 {branch}","review.commit.loading.step.push.pending":"正在推播至分支 {branch}","review.commit.loading.title.commit":"正在提交變更","review.commit.loading.title.createPr":"正在建立 PR","review.commit.loading.title.push":"正在推播變更","review.commit.messageLabel":"提交訊息","review.commit.messagePlaceholder":"留空以自動產生提交訊息","review.commit.nextSteps":"後續步驟","review.commit.nextSteps.commit":"提交","review.commit.nextSteps.commitAndCreate":"提交並建立 PR","review.commit.nextSteps.commitAndPush":"提交並推播","review.commit.nextSteps.prRequiresGh":"需要 GitHub CLI：{command}","review.commit.rows.changes":"變更","review.commit.rows.commitCount":"{count, plural, other {# 個提交}}","review.commit.rows.commitCount.withUncommitted":"{count, plural, other {# 個提交}} 和 {stats}","review.commit.rows.fileCount":"{count, plural, other {# 個檔案}}","review.commit.state.error.body":"提交時發生了一些問題。請檢查你的 git 狀態並再試一次。","review.commit.state.error.title":"提交失敗","review.commit.state.success.title":"已提交變更","review.commit.untracked.loadingStats":"正在載入未追蹤的差異統計資料…","reviewFindingAttachments.count":"{count, plural, other {# 個發現}}","settings.agent.configuration.configToml":"沙箱","settings.agent.configuration.configToml.description":"編輯你的組態以自訂代理程式行為","settings.agent.configuration.configToml.docs":"文件","settings.agent.configuration.configToml.restartNote":"編輯後請重新啟動 Codex 以套用變更","settings.agent.configuration.subtitle":"這些設定適用於所有使用 Codex 的地方","settings.automations.banner.danger":"自動化使用你的預設沙箱設定執行，目前設定為「完整存取權」。使用「完整存取權」在背景執行自動化會提升風險，因為 Codex 可能會在未經允許的情況下修改檔案、執行命令和存取網路。建議將沙箱設定更新為「工作空間編寫」，並使用<rulesDocsLink>規則</rulesDocsLink>選擇性地定義代理程式可以使用完整存取權執行的命令。","settings.automations.banner.defaultHowTo.default":"自動化使用你的預設沙箱設定執行。如果工具調用需要修改工作空間以外的檔案、存取網路或與電腦上的應用程式一起工作，則調用將會失敗。你可以使用<rulesDocsLink>規則</rulesDocsLink>選擇性地允許在沙箱之外執行的命令。","settings.automations.banner.defaultHowTo.readOnly":"自動化使用你的預設沙箱設定執行，目前設定為唯讀。如果工具調用需要修改檔案、存取網路或與電腦上的應用程式一起工作，則調用將會失敗。請考慮將沙箱設定更新為工作空間編寫。","settings.automations.cancel":"取消","settings.automations.create":"建立","settings.automations.cwdEmpty":"沒有可用的專案資料夾","settings.automations.cwdLabel":"專案","settings.automations.cwdPlaceholder":"選擇資料夾","settings.automations.cwdSubtitle":"如果你希望自動化以在特定分支上執行，可以在提示詞中指定。","settings.automations.delete":"刪除","settings.automations.dialog.editTitle":"編輯自動化","settings.automations.dialog.newTitle":"新增自動化","settings.automations.dialog.subtitle":"在背景自動執行週期性任務。 Codex 會將發現結果新增至收件匣，如果沒有需要報告的內容，則會自動封存任務。<learnMoreLink>深入了解</learnMoreLink>","settings.automations.dialog.title":"建立自動化","settings.automations.executionCopy.git":"自動化在專用工作樹的背景執行。","settings.automations.executionCopy.nonGit":"非版本控制專案中的自動化直接在專案目錄中執行。請考慮使用 Git 以啟用在背景工作樹上執行的功能。","settings.automations.executionEnvironment.local":"本機","settings.automations.executionEnvironment.worktree":"工作樹","settings.automations.loading":"正在載入…","settings.automations.nameLabel":"名稱","settings.automations.namePlaceholder":"檢查 Sentry 問題","settings.automations.pause":"暫停","settings.automations.promptLabel":"提示詞","settings.automations.promptPlaceholder":"尋找 $Sentry 中的當機問題","settings.automations.resume":"繼續","settings.automations.rruleSummaryFallback":"自訂週期","settings.automations.runNow":"測試","settings.automations.save":"儲存","settings.automations.scheduleBadge.dayCount":"{count} 天","settings.automations.scheduleBadge.interval":"{count} 小時","settings.automations.scheduleBadge.weekdays":"工作日","settings.automations.scheduleBadge.weekends":"週末","settings.automations.scheduleHeader":"排程","settings.automations.scheduleHours":"小時","settings.automations.scheduleLabel":"執行頻率","settings.automations.scheduleMode.daily":"每天","settings.automations.scheduleMode.interval":"間隔","settings.automations.scheduleModeLabel":"排程類型","settings.automations.scheduleSummary.daily":"於每天的 {time}","settings.automations.scheduleSummary.interval":"每 {count} 個小時","settings.automations.scheduleSummary.intervalDayCount":"{count, plural, other {# 天}}","settings.automations.scheduleSummary.intervalDays":"於 {days} 的 {interval}","settings.automations.scheduleSummary.intervalHourly":"每小時","settings.automations.scheduleSummary.singleDay":"於 {day} 的 {time}","settings.automations.scheduleSummary.weekdays":"於工作日的 {time}","settings.automations.scheduleSummary.weekdaysLabel":"工作日","settings.automations.scheduleSummary.weekends":"於週末的 {time}","settings.automations.scheduleSummary.weekendsLabel":"週末","settings.automations.scheduleSummary.weekly":"於 {days} 的 {time}","settings.automations.scheduleWeekdays":"開啟","settings.automations.weekdayState.excluded":"已排除","settings.automations.weekdayState.included":"已包含","settings.conversationDetail.steps":"步驟","settings.conversationDetail.steps.description":"隱藏命令和輸出","settings.conversationDetail.stepsWithCommands":"包含程式碼命令的步驟","settings.conversationDetail.stepsWithCommands.description":"顯示命令，摺疊輸出","settings.conversationDetail.stepsWithOutput":"包含程式碼輸出的步驟","settings.conversationDetail.stepsWithOutput.description":"顯示命令並展開輸出","settings.dataControls.archivedChats.dateTime":"{date}, {time}","settings.dataControls.archivedChats.dateTimeWithRepo":"{date}, {time} • {repo}","settings.dataControls.archivedChats.empty":"沒有封存的聊天。","settings.dataControls.archivedChats.error":"無法載入已封存的聊天。","settings.dataControls.archivedChats.loading":"正在載入封存的聊天…","settings.dataControls.archivedChats.unarchive":"取消封存","settings.dataControls.archivedChats.unarchiveError":"無法取消封存聊天","settings.dataControls.archivedChats.unarchiveSuccess":"取消封存對話串。<viewNowLink>立即檢視</viewNowLink>","settings.dataControls.archivedChats.unarchiveSuccessPlain":"取消封存對話串。","settings.dataControls.archivedChats.untitled":"無標題聊天","settings.dataControls.archivedChats.viewNow":"立即檢視","settings.editRow.headerPlaceholder":"金鑰","settings.editRow.removeEntry":"移除項目","settings.editRow.valuePlaceholder":"值","settings.general.appearance":"外觀","settings.general.appearance.codeFont":"程式碼字型","settings.general.appearance.codeFont.description":"調整聊天和差異中使用的程式碼字型和大小","settings.general.appearance.codeFontFamily":"程式碼字體系列","settings.general.appearance.codeFontSize":"程式碼字型大小","settings.general.appearance.codeFontSize.units":"象素","settings.general.appearance.opaqueWindows.description":"讓視窗使用純色背景而不是系統不透明背景","settings.general.appearance.opaqueWindows.label":"使用不透明視窗背景","settings.general.appearance.sansFontFamily":"Sans 字型系列","settings.general.appearance.sansFontFamily.description":"調整 Codex UI 使用的字型","settings.general.appearance.sansFontSize":"Sans 字型大小","settings.general.appearance.sansFontSize.units":"象素","settings.general.appearance.sparkCelebrationEffects.description":"在 GPT-5.3-Codex-Spark 執行第一個回合時顯示全螢幕慶祝效果","settings.general.appearance.sparkCelebrationEffects.label":"閃爍粒子慶祝效果","settings.general.appearance.theme":"主題","settings.general.appearance.theme.dark":"深色","settings.general.appearance.theme.description":"使用淺色、深色或與你的系統相符","settings.general.appearance.theme.light":"淺色","settings.general.appearance.theme.system":"系統","settings.general.appearance.usePointerCursors.description":"將滑鼠懸停在互動元素上時，將遊標變更為指針","settings.general.appearance.usePointerCursors.label":"使用指針遊標","settings.general.enterBehavior.description":"啟用後，多行提示詞需按 {modifierSymbol} + Enter 鍵才能傳送。","settings.general.enterBehavior.label":"需要按 {modifierSymbol} + Enter 鍵才能傳送長提示詞","settings.general.experimentalFeatures":"實驗性功能 (Beta)","settings.general.experimentalFeatures.empty":"還沒有可以使用的 Beta 實驗性功能。","settings.general.experimentalFeatures.loading":"正在載入實驗性功能…","settings.general.experimentalFeatures.restartNote":"重啟 Codex 以套用實驗性功能變更","settings.general.experimentalFeatures.toggle":"切換 {featureName}","settings.general.followUpQueueMode.description":"在 Codex 執行時將後續跟進排入佇列或引導目前執行的程式。按下 {invertFollowUpShortcutLabel} 可對一則訊息執行相反的動作。","settings.general.followUpQueueMode.interrupt":"引導","settings.general.followUpQueueMode.label":"後續跟進行為","settings.general.followUpQueueMode.queue":"排入佇列","settings.general.notifications":"通知","settings.general.power.preventSleepWhileRunning.description":"Codex 執行對話串時，請保持電腦處於清醒狀態。","settings.general.power.preventSleepWhileRunning.label":"執行時阻止睡眠","settings.git.branchPrefix.ariaLabel":"分支前綴","settings.git.branchPrefix.description":"在 Codex 中建立新分支時使用的前綴","settings.git.branchPrefix.label":"分支前綴","settings.git.branchPrefix.placeholder":"codex/","settings.git.branchPrefix.save.error":"無法儲存分支前綴","settings.git.branchPrefix.save.success":"已儲存分支前綴","settings.git.commitInstructions.ariaLabel":"提交指令","settings.git.commitInstructions.description":"已新增至提交訊息產生提示","settings.git.commitInstructions.label":"提交指令","settings.git.commitInstructions.placeholder":"新增提交訊息指南…","settings.git.commitInstructions.save":"儲存","settings.git.commitInstructions.save.error":"無法儲存提交指令","settings.git.commitInstructions.save.success":"已儲存提交指令","settings.git.forcePush.ariaLabel":"總是強制推播","settings.git.forcePush.description":"從 Codex 推播時使用 --force-with-lease","settings.git.forcePush.label":"總是強制推播","settings.git.forcePush.save.disabled":"已停用總是強制推播","settings.git.forcePush.save.enabled":"已啟用總是強制推播","settings.git.forcePush.save.error":"無法儲存強制推播設定","settings.git.prInstructions.ariaLabel":"擷取要求指令","settings.git.prInstructions.description":"已附加至 Codex 建立的擷取要求內文中","settings.git.prInstructions.label":"擷取要求指令","settings.git.prInstructions.placeholder":"新增擷取要求指南…","settings.git.prInstructions.save":"儲存","settings.git.prInstructions.save.error":"無法儲存擷取要求指令","settings.git.prInstructions.save.success":"已儲存擷取要求指令","settings.ide.defaultOpenTarget.description":"檔案和資料夾的預設開啟位置","settings.ide.defaultOpenTarget.label":"預設開啟目的地","settings.ide.defaultOpenTarget.placeholder":"找不到目標","settings.ide.language.auto":"自動偵測","settings.ide.language.autoOption":"自動偵測","settings.ide.language.description":"應用程式 UI 的語言","settings.ide.language.label":"語言","settings.ide.language.search":"搜尋語言","settings.layout.actionButton":"重新開始延長","settings.layout.actionTitle":"包含動作的設定","settings.layout.fullWidthTitle":"設定（全寬）","settings.layout.title":"設定","settings.localEnvironments.actions.add":"新增動作","settings.localEnvironments.actions.add.description":"建立可從工具列執行的新命令。","settings.localEnvironments.actions.add.save":"儲存","settings.localEnvironments.actions.empty":"新增動作以執行本機工具列的指令。","settings.localEnvironments.actions.icon.debug":"偵錯","settings.localEnvironments.actions.icon.run":"執行","settings.localEnvironments.actions.icon.test":"測試","settings.localEnvironments.actions.icon.tool":"工具","settings.localEnvironments.actions.item.button.delete":"刪除","settings.localEnvironments.actions.item.command":"動作指令碼","settings.localEnvironments.actions.item.name":"名稱","settings.localEnvironments.actions.item.platforms":"平台","settings.localEnvironments.actions.item.platforms.help":"僅在特定 OS 上執行。","settings.localEnvironments.actions.item.platforms.linux":"Linux","settings.localEnvironments.actions.item.platforms.macos":"macOS","settings.localEnvironments.actions.item.platforms.selector":"平台選取","settings.localEnvironments.actions.item.platforms.specific":"平台特定","settings.localEnvironments.actions.item.platforms.windows":"Windows 鍵","settings.localEnvironments.actions.item.tooltip.delete":"刪除","settings.localEnvironments.actions.title":"動作","settings.localEnvironments.breadcrumb.back":"返回","settings.localEnvironments.breadcrumb.edit":"編輯","settings.localEnvironments.breadcrumb.root":"環境","settings.localEnvironments.environment.actions.description":"這些動作可以執行任何指令，並會顯示在標頭中。","settings.localEnvironments.environment.actionsLabel":"動作","settings.localEnvironments.environment.create":"建立本機環境","settings.localEnvironments.environment.defaultName":"本機","settings.localEnvironments.environment.edit":"編輯本機環境","settings.localEnvironments.environment.empty":"此專案還沒有設定本機環境。","settings.localEnvironments.environment.name":"名稱","settings.localEnvironments.environment.setup":"設定指令碼","settings.localEnvironments.environment.setup.description":"此指令碼將在建立工作樹時執行。","settings.localEnvironments.environment.setup.hint":"在專案根目錄執行。","settings.localEnvironments.environment.setup.platformOverrides":"平台覆寫","settings.localEnvironments.environment.setup.platformOverrides.add":"新增 {platform} 設定指令碼","settings.localEnvironments.environment.setup.platformOverrides.description":"覆寫特定 OS 的預設指令碼。","settings.localEnvironments.environment.setup.platformOverrides.remove":"移除","settings.localEnvironments.environment.setup.script":"指令碼","settings.localEnvironments.environment.title":"環境詳細資料","settings.localEnvironments.file.missing":"儲存以便首次建立此檔案。","settings.localEnvironments.file.parseError":"無法解析現有檔案。儲存將覆蓋該檔案。({error})","settings.localEnvironments.file.path":"檔案：{path}","settings.localEnvironments.file.readError":"無法載入本機環境資料。({error})","settings.localEnvironments.file.title":"本機環境檔案","settings.localEnvironments.loading.body":"正在擷取你的專案組態。","settings.localEnvironments.loading.title":"正在載入本機環境","settings.localEnvironments.preview.devOnly":"（僅限開發）","settings.localEnvironments.preview.save":"儲存","settings.localEnvironments.preview.saveError":"無法儲存檔案。({error})","settings.localEnvironments.preview.title":"預覽","settings.localEnvironments.save.disabled.name":"新增要儲存的環境名稱。","settings.localEnvironments.save.disabled.noChanges":"沒有要儲存的變更。","settings.localEnvironments.save.disabled.saving":"正在儲存…","settings.localEnvironments.save.success":"已儲存本機環境","settings.localEnvironments.unavailable.body":"我們無法載入此專案的本機環境設定。","settings.localEnvironments.unavailable.title":"無法使用本機環境","settings.localEnvironments.workspace.add":"新增專案","settings.localEnvironments.workspace.title":"專案","settings.localEnvironments.workspaceSelect.addLabel":"新增環境","settings.localEnvironments.workspaceSelect.description":"本機環境告訴 Codex 如何為專案設定工作樹。{learnMore}","settings.localEnvironments.workspaceSelect.empty":"還沒有專案。新增一個以設定本機環境。","settings.localEnvironments.workspaceSelect.errorLabel":"環境需要關注","settings.localEnvironments.workspaceSelect.learnMore":"深入了解","settings.localEnvironments.workspaceSelect.listLabel":"可用專案","settings.localEnvironments.workspaceSelect.loading":"正在載入專案。","settings.localEnvironments.workspaceSelect.loadingLabel":"正在載入環境","settings.localEnvironments.workspaceSelect.title":"選取專案","settings.localEnvironments.workspaceSelect.viewAction":"檢視","settings.mcp.addServer":"新增伺服器","settings.mcp.app.configure":"設定","settings.mcp.app.connect":"連線","settings.mcp.apps.refresh":"重新整理","settings.mcp.detail.addArgument":"新增引數","settings.mcp.detail.addEnvVar":"新增環境變數","settings.mcp.detail.addEnvVarPassthrough":"新增變數","settings.mcp.detail.args":"引數","settings.mcp.detail.back":"上一步","settings.mcp.detail.command":"啟動指令","settings.mcp.detail.cwd":"工作目錄","settings.mcp.detail.docs":"開啟 MCP 文件","settings.mcp.detail.docs.link":"文件","settings.mcp.detail.envVarPassthrough":"環境變數透傳","settings.mcp.detail.envVars":"環境變數","settings.mcp.detail.http.addEnvHeader":"新增變數","settings.mcp.detail.http.addHeader":"新增標頭","settings.mcp.detail.http.bearerToken":"持有者權杖環境變數","settings.mcp.detail.http.envHeaders":"來自環境變數的標頭","settings.mcp.detail.http.headers":"標頭","settings.mcp.detail.http.url":"URL","settings.mcp.detail.name":"名稱","settings.mcp.detail.save":"儲存","settings.mcp.detail.switchTransportNotice":"如果你想切換 MCP 伺服器類型，請先解除安裝。","settings.mcp.detail.titleExisting":"更新 {name} MCP","settings.mcp.detail.titleNew":"連接到自訂 MCP","settings.mcp.detail.transport.http":"可串流 HTTP","settings.mcp.detail.transport.stdio":"標準輸入/輸出","settings.mcp.detail.uninstall":"解除安裝","settings.mcp.empty":"未連接任何自訂 MCP 伺服器","settings.mcp.myServers":"自訂伺服器","settings.mcp.partnerServer.description.figma":"引入完整的 Figma 上下文以產生更佳的程式碼","settings.mcp.partnerServer.description.github":"與 GitHub API 整合以自動化工作流程並擷取資料","settings.mcp.partnerServer.description.linear":"與 Linear 的問題追蹤和專案管理整合","settings.mcp.partnerServer.description.notion":"閱讀文件、更新頁面、管理任務","settings.mcp.partnerServer.description.playwright":"整合瀏覽器自動化以實現設計並測試 UI。","settings.mcp.partnerServer.install":"安裝","settings.mcp.partnerServer.installAndAuthenticate":"安裝與驗證","settings.mcp.partnerServer.logoAlt":"{label} 標誌","settings.mcp.partnerServer.manage":"管理","settings.mcp.partnerServer.vendor":"作者：{vendor}","settings.mcp.recommendedServers":"建議使用的伺服器","settings.mcp.restartApp":"重新啟動","settings.mcp.restartExtension":"重新開始延長","settings.mcp.server.enable":"啟用","settings.mcp.server.login":"驗證","settings.mcp.server.settings":"設定","settings.multiselect.createOption":"建立「{value}」","settings.multiselect.removeOption":"移除","settings.nav.account":"帳戶","settings.nav.agent":"組態","settings.nav.ariaLabel":"設定","settings.nav.back":"返回應用程式","settings.nav.data-controls":"已封存對話串","settings.nav.environments":"雲端環境","settings.nav.externalTooltip":"[alpha] 在瀏覽器中開啟","settings.nav.general-settings":"一般","settings.nav.git-settings":"Git","settings.nav.local-environments":"環境","settings.nav.mcp-settings":"MCP 伺服器","settings.nav.notImplemented":"[alpha] 在 Alpha 版中不可用","settings.nav.personalization":"個人化","settings.nav.skills-settings":"技能","settings.nav.usage-analytics":"使用情況和分析","settings.nav.worktrees":"工作樹","settings.openSourceLicenses.back":"上一步","settings.openSourceLicenses.loading":"正在載入…","settings.openSourceLicenses.missing":"找不到第三方通知。","settings.openSourceLicenses.notSupported":"此主機上無法使用。","settings.openSourceLicenses.rowDescription":"組合依賴項的第三方通知","settings.openSourceLicenses.rowLabel":"開放原始碼授權","settings.openSourceLicenses.subtitle":"包含在此應用程式中的依賴項第三方通知","settings.openSourceLicenses.title":"開放原始碼授權","settings.openSourceLicenses.view":"檢視","settings.personalization.agents.description":"編輯指令，使 Codex 更符合你的需求。{learnMore}","settings.personalization.agents.learnMore":"深入了解","settings.personalization.agents.loadError":"無法載入 agents.md。","settings.personalization.agents.loading":"正在載入 agents.md…","settings.personalization.agents.placeholder":"新增你的自訂指令…","settings.personalization.agents.retry":"重試","settings.personalization.agents.save":"儲存","settings.personalization.agents.save.error":"無法儲存 agents.md","settings.personalization.agents.save.success":"已儲存 agents.md","settings.personalization.agents.title":"自訂指令","settings.personalization.personality.description":"選擇 Codex 回應的預設語氣","settings.personalization.personality.label":"性格","settings.sample.contentBody":"使用此佈局以建立間距一致的設定面板。","settings.sample.contentTitle":"範例內容封鎖","settings.section.account":"帳戶","settings.section.agent":"組態","settings.section.data-controls":"已封存對話串","settings.section.environments":"雲端環境","settings.section.external":"Alpha 版本期間在瀏覽器中開啟","settings.section.general-settings":"一般","settings.section.git-settings":"Git","settings.section.local-environments":"環境","settings.section.mcp-settings":"MCP 伺服器","settings.section.mcp-settings.docs":"文件","settings.section.mcp-settings.subtitle":"連接外部工具和資料來源。","settings.section.personalization":"個人化","settings.section.skills-settings":"技能","settings.section.unavailable":"Alpha 版本中還無法使用","settings.section.usage-analytics":"使用情況和分析","settings.section.worktrees":"工作樹","settings.threadDetail.description":"選擇在對話串中顯示的命令輸出量","settings.threadDetail.label":"對話串詳細資料","settings.worktrees.conversation.untitled":"無標題對話","settings.worktrees.delete.error":"無法刪除工作樹","settings.worktrees.empty.body":"Codex 建立的工作樹將顯示在此處。","settings.worktrees.empty.title":"還沒有工作樹","settings.worktrees.error.body":"載入工作樹時發生問題。","settings.worktrees.error.retry":"重試","settings.worktrees.error.title":"無法載入工作樹","settings.worktrees.loading.body":"正在擷取工作樹詳細資料。","settings.worktrees.loading.title":"正在載入工作樹","settings.worktrees.repository.loading":"正在載入儲存庫中繼資料…","settings.worktrees.repository.unknown":"未知儲存庫","settings.worktrees.row.conversations":"對話","settings.worktrees.row.conversations.empty":"沒有與此工作樹連結的對話。","settings.worktrees.row.conversations.loading":"正在載入對話…","settings.worktrees.row.delete":"刪除","settings.worktrees.row.title":"工作樹","sidebarElectron.addWorkspaceRoot":"新增新的專案","sidebarElectron.archiveThread":"封存對話串","sidebarElectron.archiveThreadError":"無法封存對話串","sidebarElectron.collapseFolder":"摺疊資料夾","sidebarElectron.createStableWorktree.dialog.cancel":"取消","sidebarElectron.createStableWorktree.dialog.create":"建立","sidebarElectron.debugNavLink":"偵錯","sidebarElectron.editWorkspaceRootOptionName":"編輯名稱","sidebarElectron.expandFolder":"展開資料夾","sidebarElectron.groupByMenu.recency":"依時間順序排列","sidebarElectron.groupByMenu.title":"組織","sidebarElectron.groupByMenu.workspace":"依專案","sidebarElectron.inboxRouteNavLink":"自動化","sidebarElectron.markThreadUnread":"標記為未讀","sidebarElectron.missingWorkspaceRoot":"此專案資料夾已被刪除或移動","sidebarElectron.newThread":"新增對話串","sidebarElectron.newThreadInGroup":"在 {folder} 中開始新對話串","sidebarElectron.noRecentThreads":"沒有最近的對話串","sidebarElectron.noTasks":"沒有對話串","sidebarElectron.noTasks.start":"新增新的專案","sidebarElectron.noTasksWithFilter":"沒有符合篩選條件的對話串","sidebarElectron.pinnedThreads":"已釘選對話串","sidebarElectron.recentNavLink":"對話串","sidebarElectron.recentThreads":"最近的對話串","sidebarElectron.removeWorkspaceRootOption":"移除","sidebarElectron.renameThread":"重新命名對話串","sidebarElectron.renameThreadDialogAriaLabel":"對話串標題","sidebarElectron.renameThreadDialogCancel":"取消","sidebarElectron.renameThreadDialogPlaceholder":"新增標題…","sidebarElectron.renameThreadDialogSave":"儲存","sidebarElectron.renameThreadDialogSubtitle":"請保持簡短且易於辨識。","sidebarElectron.renameThreadDialogTitle":"重新命名對話串","sidebarElectron.renameThreadError":"無法重新命名對話串","sidebarElectron.renameWorkspaceRootOptionLabel":"顯示名稱","sidebarElectron.showLess":"顯示較少","sidebarElectron.showMenu.all":"所有對話串","sidebarElectron.showMenu.relevant":"相關","sidebarElectron.showMenu.relevantHint":"僅顯示目前分支、工作樹的最新對話串，或者其他你需要關注的對話串","sidebarElectron.showMenu.title":"顯示","sidebarElectron.showMenu.tooltip":"篩選、排序和整理對話串","sidebarElectron.showMenu.trigger":"篩選側邊欄對話串","sidebarElectron.showMore":"顯示更多","sidebarElectron.skillsRouteNavLink":"技能","sidebarElectron.sortMenu.created":"已建立","sidebarElectron.sortMenu.title":"排序依據","sidebarElectron.sortMenu.updated":"已更新","sidebarElectron.taskNavigation":"自動化資料夾","sidebarElectron.tasksInFolder":"{folder} 中的自動化","sidebarElectron.workspaceOptions":"{folder} 的專案動作","sidebarElectron.worktreeGroupTooltip":"這是 git 工作樹","skills.appsPage.createSkill":"新增技能","skills.appsPage.empty.skills":"找不到技能","skills.appsPage.search.skills":"搜尋技能","skills.appsPage.search.skills.label":"搜尋技能","skills.appsPage.section.installedApps":"已安裝","skills.appsPage.section.skills":"技能","skills.appsPage.subheading":"賦予 Codex 超能力。<link>深入了解</link>","skills.appsPage.tab.recommended":"已推薦","skills.appsPage.tab.skills":"技能","skills.card.contentsError":"無法載入技能內容。","skills.card.disable":"停用","skills.card.disableSuccess":"已停用 {skillName} 個技能","skills.card.disabledBadge":"已停用","skills.card.enable":"啟用","skills.card.enableSuccess":"已啟用 {skillName} 個技能","skills.card.loadingContents":"正在載入技能內容…","skills.card.more":"更多動作","skills.card.open":"開啟","skills.card.removeFailed":"無法解除安裝技能","skills.card.removeSuccess":"已解除安裝 {skillName} 技能","skills.card.toggleEnabledError":"無法更新技能","skills.card.try":"嘗試","skills.card.trySkill":"試用技能","skills.card.uninstall":"解除安裝","skills.hero.dotLabel":"前往投影片 {index}","skills.hero.next":"下一個精選的功能","skills.hero.trySkill":"試用技能","skills.page.createSkill":"新增技能","skills.page.empty":"找不到技能","skills.page.filteredEmpty":"沒有與篩選條件相符的技能","skills.page.filteredEmptyDescription":"嘗試調整你的搜尋或範圍篩選條件","skills.page.heading":"技能","skills.page.loading":"正在載入技能…","skills.page.refreshSkills":"重新整理","skills.page.refreshSkillsToUseNew":"重新整理以使用新技能","skills.page.search":"搜尋技能","skills.page.search.label":"搜尋技能","skills.page.subheading":"賦予 Codex 超能力。<link>深入了解</link>","skills.preview.copyPrompt":"複製提示詞","skills.preview.examplePrompt":"提示詞範例","skills.recommended.error":"無法載入建議的技能","skills.recommended.install":"安裝","skills.recommended.installSkill":"安裝技能","skills.recommended.installSuccess":"{skillName} 個技能已安裝","skills.recommended.installed":"已安裝","skills.scope.admin":"管理員","skills.scope.adminInstalled":"管理員已安裝","skills.scope.builtIn":"系統","skills.scope.personal":"個人","skills.scope.repo":"儲存庫","skills.scope.system":"系統","skills.scope.team":"團隊","skills.scope.user":"使用者","skills.section.installed":"已安裝","skills.section.recommended":"已推薦","story.slidingToggle.existing":"現有","story.slidingToggle.fromLocal":"從本機","story.slidingToggle.new":"新增","story.slidingToggle.toLocal":"到本機","terminal.close":"關閉終端","terminal.title":"終端","thinkingShimmer.default":"正在思考","threadEnvIcon.cloudTooltip":"此對話正在 Codex 雲端中執行。","threadEnvIcon.localTooltip":"此對話正在本機執行。","threadEnvIcon.worktreeTooltip":"此對話正在本機 git 工作樹中執行。","threadHeader.archiveConfirmCancel":"取消","threadHeader.archiveConfirmConfirm":"封存","threadHeader.archiveConfirmSubtitle":"你稍後可以在已封存的對話串中尋找它。","threadHeader.archiveConfirmTitle":"封存對話串","threadHeader.copyAppLink":"複製深入連結","threadHeader.copySessionId":"複製工作階段 ID","threadHeader.copyWorkingDirectory":"複製工作目錄","threadHeader.forkIntoLocal":"分叉到本機","threadHeader.forkIntoWorktree":"分叉到新的工作樹","threadHeader.forkPendingWorktreePrompt":"將此對話分叉到新的工作樹。","threadHeader.forkPendingWorktreeTitle":"已分叉對話","threadHeader.forkThreadError":"無法分叉對話串","threadHeader.forkThreadRequiresGitRepo":"分叉到新的工作樹需要一個 git 儲存庫","threadHeader.moreActions":"對話串動作","threadPage.newThread":"新增對話串","threadPage.runAction.changeEnvironment":"變更環境","threadPage.runAction.dropdown.titleWithEnvironment":"{environmentName} 動作","threadPage.runAction.environmentSelector.label":"選擇環境","threadPage.runAction.label":"執行","threadPage.runAction.missing.label":"設定執行動作","threadPage.runAction.setup.commandLabel":"執行指令","threadPage.runAction.setup.description":"告訴 Codex 如何安裝依賴項並啟動你的應用程式。","threadPage.runAction.setup.editMore":"環境設定","threadPage.runAction.setup.placeholder":"例如：npm install npm run","threadPage.runAction.setup.submit":"儲存並執行","threadPage.runAction.setup.title":"執行","threadPage.runAction.tooltip.withEnvironment":"{environmentName} 動作","threadPage.toggleDiffPanel":"切換差異面板","threadPage.toggleTerminal":"切換終端","threadTitle.branchName":"({branchName})","threadTitle.openFolderInFinder":"開啟資料夾","toolSummaryForCmd.exploredFiles":"<verb>已列出</verb>檔案","toolSummaryForCmd.exploredFilesInPath":"<verb>已列出</verb> {path} 中的檔案","toolSummaryForCmd.exploringFiles":"<verb>正在列出</verb>檔案","toolSummaryForCmd.exploringFilesInPath":"<verb>正在列出</verb> {path} 中的檔案","toolSummaryForCmd.ranGenericCommand":"<status>已執行命令</status>{timer}","toolSummaryForCmd.ranSpecificCommand":"<status>已執行</status> {command}{timer}","toolSummaryForCmd.read":"<verb>已讀取</verb> {path}","toolSummaryForCmd.runningGenericCommand":"<status>正在執行命令</status>{timer}","toolSummaryForCmd.runningTimer":"適用於 {elapsed}","toolSummaryForCmd.searchedFor":"<verb>已搜尋</verb> {query}","toolSummaryForCmd.searchedForFiles":"<verb>已搜尋</verb>檔案","toolSummaryForCmd.searchedForInPath":"<verb>已搜尋</verb> {path} 中的 {query}","toolSummaryForCmd.searchingFor":"<verb>正在搜尋</verb> {query}","toolSummaryForCmd.searchingForFiles":"<verb>正在搜尋</verb>檔案","toolSummaryForCmd.searchingForInPath":"<verb>正在搜尋</verb> {path} 中的 {query}","traceRecording.details.noteLabel":"發生此情況時你在做什麼？（選填）","traceRecording.details.notePlaceholder":"已瀏覽一個較長的對話串，然後重複切換索引標籤…","traceRecording.details.submit":"傳送追蹤","traceRecording.details.subtitle":"我們可以傳送此設定檔追蹤訊息，以幫助診斷效能問題。","traceRecording.details.title":"是否傳送設定檔追蹤訊息？","traceRecording.progress.subtitle":"請在完成此動作期間保持 Codex 視窗的開啟狀態。","traceRecording.saving.title":"正在儲存追蹤…","traceRecording.startDetails.cancel":"取消","traceRecording.startDetails.submit":"好的，開始錄製","traceRecording.startDetails.subtitle":"按一下「確定」後，效能問題會重現，然後按一下浮動的紅色指示器停止並查看追蹤。","traceRecording.startDetails.title":"追蹤錄製的運作方式","traceRecording.stopButton.ariaLabel":"停止追蹤錄製","traceRecording.upload.successToast":"已傳送設定檔追蹤。","traceRecording.uploading.title":"正在上傳追蹤…","wham.diff.addComment":"新增評論","wham.diff.binaryFile":"未顯示二進位檔案","wham.diff.noContent":"沒有內容","wham.fileTag.deleted":"已刪除","wham.fileTag.new":"新增","wham.formattedRelativeDateTime.compactDaysAgo":"{value} 天","wham.formattedRelativeDateTime.compactHoursAgo":"{value} 小時","wham.formattedRelativeDateTime.compactMinutesAgo":"{value} 分","wham.formattedRelativeDateTime.compactMonthsAgo":"{value} 個月","wham.formattedRelativeDateTime.compactWeeksAgo":"{value} 週","wham.formattedRelativeDateTime.compactYearsAgo":"{value} 年","wham.message.modal.repoAndDiffStats.linesAdded":"+{linesAdded}","wham.message.modal.repoAndDiffStats.linesRemoved":"-{linesRemoved}","wham.streamTurnStatus.workingOnYourTask":"正在執行你的任務","wham.whamProposedTask.title":"建議的任務","wham.whamProposedTask.useSuggestion":"使用建議","workspaceRootDialog.addError":"無法新增專案","workspaceRootDialog.cancel":"取消","workspaceRootDialog.confirmAdd":"新增專案","workspaceRootDialog.confirmPick":"新增專案","workspaceRootDialog.description":"輸入 {host} 上的路徑以用作專案。","workspaceRootDialog.pathLabel":"專案路徑","workspaceRootDialog.pathPlaceholder":"/home/you/project","workspaceRootDialog.title.add":"新增專案路徑","workspaceRootDialog.title.pick":"選擇專案路徑","worktreeInitV2.cancel":"取消","worktreeInitV2.notification.failedTitle":"工作樹設定失敗。","worktreeInitV2.output.empty":"正在等待輸出…","worktreeInitV2.status.error":"工作樹設定失敗。","worktreeInitV2.status.running":"正在建立工作樹並執行設定。","worktreeInitV2.status.runningFork":"正在建立工作樹以分叉此對話。","worktreeInitV2.status.success":"工作樹準備就緒。","worktreeInitV2.title":"正在建立工作樹","worktreeInitV2.workLocallyInstead":"改為在本機運作","worktreeRestoreBanner.body":"為了節省磁碟空間，已移除此對話串的工作樹","worktreeRestoreBanner.missing.body":"此對話串的工作目錄已不存在","worktreeRestoreBanner.missing.title":"目前工作目錄缺失","worktreeRestoreBanner.restore.error":"無法還原工作樹：{message}","worktreeRestoreBanner.restore.success":"已還原工作樹","worktreeRestoreBanner.restoreCta":"還原工作樹","worktreeRestoreBanner.title":"工作樹已清理"};Object.assign(e,globalThis.codexI18nOverrides?.["zh-TW"]);export{e as default};
 //# sourceMappingURL=zh-TW-CJzxgPdA.js.map
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { decompressBzip2, Bzip2Error } = require("../scripts/lib/dmg/bzip2");
+
+// Fixtures produced by Python's bz2 module at compression level 1.
+const TEXT = "The quick brown fox jumps over the lazy dog. ".repeat(6) + "Pack my box with five dozen liquor jugs.\n";
+const fixture = {
+  text: "QlpoMTFBWSZTWb4E3n0AACXTgAAQQAFEAD////AgAJAxgAAAABFQImmmTTTEZNpIrXIYDfj7H5UZjKzcZDQaSzG8b/GoyXQcorziD1EZLuNarqMR79cWrusFoMJjpwM5jqNo8U5Gg543DYNR2pYNehgMJdhnBG7QY7D/F3JFOFCQvgTefQ==",
+  runs: "QlpoMTFBWSZTWbBNvjQAAAIRAYAgOAAAgAAIIAAwwASTR6msuhFGNs4M8XckU4UJCwTb40A=",
+  twoStreams:
+    "QlpoMTFBWSZTWaRjnbsAAACRgEAAASAcACAAIYAMAycu4u5IpwoSFIxzt2BCWmgxMUFZJlNZJooCNAAAAoGADgGIACAAIhhoMAcCmF3JFOFCQJooCNA=",
+};
+const load = (name) => Buffer.from(fixture[name], "base64");
+
+test("decodes a text block", () => {
+  assert.equal(decompressBzip2(load("text")).toString("utf-8"), TEXT);
+});
+
+test("decodes long runs of repeated bytes", () => {
+  assert.equal(decompressBzip2(load("runs")).toString("latin1"), "a".repeat(1000) + "b".repeat(3) + "c".repeat(300));
+});
+
+test("decodes concatenated streams back to back", () => {
+  assert.equal(decompressBzip2(load("twoStreams")).toString("utf-8"), "first second");
+});
+
+test("a size hint smaller than the output still returns everything", () => {
+  assert.equal(decompressBzip2(load("text"), 16).toString("utf-8"), TEXT);
+});
+
+test("rejects input that is not a bzip2 stream", () => {
+  assert.throws(() => decompressBzip2(Buffer.from("PK\u0003\u0004not bzip2")), Bzip2Error);
+});
+
+test("rejects a corrupted block", () => {
+  const src = load("text");
+  src[src.length - 30] ^= 0xff;
+  assert.throws(() => decompressBzip2(src), Bzip2Error);
+});
+
+test("rejects a truncated stream", () => {
+  const src = load("text");
+  assert.throws(() => decompressBzip2(src.subarray(0, src.length - 20)), Bzip2Error);
+});
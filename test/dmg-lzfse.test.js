@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { decompressLzfse, decompressLzvn, LzfseError } = require("../scripts/lib/dmg/lzfse");
+
+// Fixtures are compressed copies of TEXT.
+const TEXT = "The quick brown fox jumps over the lazy dog. ".repeat(6) + "Pack my box with five dozen liquor jugs.\n";
+const fixture = {
+  bvx2: "YnZ4MjcBAABYAMADAAIAQAOxFxkuDAAAowAAAACAAAgAAAAA8CjwCAAAAADwCPBoAAAA8GgAAAAAAAAAAAAAAADwAAAAcAMAAAAAwI8CAADAAwAAAAAAAAAAwA1wAwAA8AA8AA/A/Y9wf/8L/AX39/f396/Dzf0vcH//F9zf39/fAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAoTYxYB/2EcDFgxUdO3Y1isxckBo1V85ojTimJ2pe9GWCtsmlxd9h6/3LycPGGEApHgAAAAAAAAAAtEgVAWJ2eCQ=",
+  lzvn: "4BpUaGUgcXVpY2sgYnJvd24gZm94IGp1bXBzIG92ZXIgdGhlIGxhenkgZG/ILWcuIPDN4BlQYWNrIG15IGJveCB3aXRoIGZpdmUgZG96ZW4gbGlxdW9yIGp1Z3MuCgYAAAAAAAAA",
+};
+const load = (name) => Buffer.from(fixture[name], "base64");
+
+const u32 = (n) => {
+  const b = Buffer.alloc(4);
+  b.writeUInt32LE(n);
+  return b;
+};
+const END = Buffer.from("bvx$");
+const rawBlock = (text) => Buffer.concat([Buffer.from("bvx-"), u32(Buffer.byteLength(text)), Buffer.from(text)]);
+const lzvnBlock = (payload, size) => Buffer.concat([Buffer.from("bvxn"), u32(size), u32(payload.length), payload]);
+
+test("an end-of-stream block alone decodes to nothing", () => {
+  assert.equal(decompressLzfse(END).length, 0);
+});
+
+test("decodes an uncompressed block", () => {
+  assert.equal(decompressLzfse(Buffer.concat([rawBlock("plain bytes"), END])).toString("utf-8"), "plain bytes");
+});
+
+test("decodes an LZFSE (bvx2) block", () => {
+  assert.equal(decompressLzfse(load("bvx2")).toString("utf-8"), TEXT);
+});
+
+test("decodes a bare LZVN payload, including back-references", () => {
+  assert.equal(decompressLzvn(load("lzvn"), Buffer.byteLength(TEXT)).toString("utf-8"), TEXT);
+});
+
+test("concatenates raw, LZVN and LZFSE blocks in order", () => {
+  const bvx2 = load("bvx2");
+  const src = Buffer.concat([
+    rawBlock("head|"),
+    lzvnBlock(load("lzvn"), Buffer.byteLength(TEXT)),
+    bvx2.subarray(0, bvx2.length - END.length),
+    rawBlock("|tail"),
+    END,
+  ]);
+  assert.equal(decompressLzfse(src).toString("utf-8"), "head|" + TEXT + TEXT + "|tail");
+});
+
+test("rejects a stream without an end-of-stream block", () => {
+  assert.throws(() => decompressLzfse(rawBlock("plain bytes")), LzfseError);
+});
+
+test("rejects a truncated LZFSE block", () => {
+  const src = load("bvx2");
+  assert.throws(() => decompressLzfse(src.subarray(0, 100)), LzfseError);
+});
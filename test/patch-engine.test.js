@@ -0,0 +1,198 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { STATUS, PatchTargetError, getPropertyName, applyPatch, applyPipeline } = require("../scripts/lib/patch-engine");
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempFile(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "patch-engine-"));
+  tempDirs.push(dir);
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+const replaceRule = (file, overrides = {}) => ({
+  id: "greeting",
+  type: "replace",
+  target: () => file,
+  description: "hello → goodbye",
+  pattern: /hello|goodbye/,
+  replace: () => "goodbye",
+  ...overrides,
+});
+
+const statuses = (report) => report.rules.map((r) => r.status);
+
+test("a matching rule is applied once, then reported as already applied", () => {
+  const file = tempFile("a.txt", "say hello\n");
+  const patch = { id: "t", title: "t", rules: [replaceRule(file)] };
+
+  const first = applyPatch(patch);
+  assert.deepEqual(statuses(first), [STATUS.APPLIED]);
+  assert.equal(first.ok, true);
+  assert.equal(fs.readFileSync(file, "utf-8"), "say goodbye\n");
+
+  const second = applyPatch(patch);
+  assert.deepEqual(statuses(second), [STATUS.ALREADY_APPLIED]);
+  assert.equal(second.ok, true);
+});
+
+test("--check reports what would be applied without writing", () => {
+  const file = tempFile("a.txt", "say hello\n");
+  const report = applyPatch({ id: "t", title: "t", rules: [replaceRule(file)] }, { dryRun: true });
+  assert.deepEqual(statuses(report), [STATUS.APPLIED]);
+  assert.equal(report.dryRun, true);
+  assert.equal(fs.readFileSync(file, "utf-8"), "say hello\n");
+});
+
+test("not-matched fails the patch unless the rule is optional or carries a warning", () => {
+  const file = tempFile("a.txt", "nothing here\n");
+
+  const plain = applyPatch({ id: "t", title: "t", rules: [replaceRule(file)] });
+  assert.deepEqual(statuses(plain), [STATUS.NOT_MATCHED]);
+  assert.equal(plain.ok, false);
+  assert.deepEqual(plain.warnings, []);
+
+  const optional = applyPatch({ id: "t", title: "t", rules: [replaceRule(file, { optional: true })] });
+  assert.equal(optional.ok, true);
+  assert.equal(optional.rules[0].optional, true);
+  assert.deepEqual(optional.warnings, []);
+
+  const warned = applyPatch({ id: "t", title: "t", rules: [replaceRule(file, { warning: "greeting is gone" })] });
+  assert.equal(warned.ok, true);
+  assert.equal(warned.rules[0].warning, "greeting is gone");
+  assert.deepEqual(warned.warnings, ["[greeting] greeting is gone"]);
+});
+
+test("a warning is only reported when its rule did not match", () => {
+  const file = tempFile("a.txt", "say hello\n");
+  const report = applyPatch({ id: "t", title: "t", rules: [replaceRule(file, { warning: "greeting is gone" })] });
+  assert.deepEqual(statuses(report), [STATUS.APPLIED]);
+  assert.equal(report.rules[0].warning, undefined);
+  assert.deepEqual(report.warnings, []);
+});
+
+test("an ambiguous rule fails and leaves its file untouched, even after other edits to it", () => {
+  const file = tempFile("a.txt", "one two two\n");
+  const report = applyPatch({
+    id: "t",
+    title: "t",
+    rules: [
+      { id: "one", type: "replace", target: () => file, pattern: "one", replace: () => "1" },
+      { id: "two", type: "replace", target: () => file, pattern: "two", replace: () => "2" },
+    ],
+  });
+  assert.deepEqual(statuses(report), [STATUS.APPLIED, STATUS.AMBIGUOUS]);
+  assert.equal(report.rules[1].matches, 2);
+  assert.equal(report.ok, false);
+  assert.equal(fs.readFileSync(file, "utf-8"), "one two two\n");
+});
+
+test("a missing target or an unknown rule type is an error", () => {
+  const missing = path.join(os.tmpdir(), "patch-engine-does-not-exist.txt");
+  const report = applyPatch({
+    id: "t",
+    title: "t",
+    rules: [
+      replaceRule(missing),
+      {
+        id: "unlocated",
+        type: "replace",
+        target: () => {
+          throw new PatchTargetError("bundle not found");
+        },
+      },
+      { id: "odd", type: "teleport", target: () => missing },
+    ],
+  });
+  assert.deepEqual(statuses(report), [STATUS.ERROR, STATUS.ERROR, STATUS.ERROR]);
+  assert.deepEqual(
+    report.rules.map((r) => r.message),
+    ["target file does not exist", "bundle not found", 'unknown rule type "teleport"']
+  );
+  assert.equal(report.ok, false);
+});
+
+test("an AST rule replaces every match up to maxMatches and recognises its own result", () => {
+  const file = tempFile("bundle.js", 'app.setName("Codex");other.setName("Codex");\n');
+  const setName = (node) =>
+    node.type === "CallExpression" && node.callee.type === "MemberExpression" && getPropertyName(node.callee) === "setName"
+      ? node.arguments[0]
+      : null;
+  const rule = {
+    id: "name",
+    type: "ast",
+    target: () => file,
+    maxMatches: 2,
+    match(node) {
+      const arg = setName(node);
+      return arg?.value === "Codex" ? { start: arg.start, end: arg.end, replacement: '"Rebuilt"' } : null;
+    },
+    applied: (node) => setName(node)?.value === "Rebuilt",
+  };
+
+  const first = applyPatch({ id: "t", title: "t", rules: [rule] });
+  assert.deepEqual(statuses(first), [STATUS.APPLIED]);
+  assert.equal(first.rules[0].matches, 2);
+  assert.equal(fs.readFileSync(file, "utf-8"), 'app.setName("Rebuilt");other.setName("Rebuilt");\n');
+
+  const second = applyPatch({ id: "t", title: "t", rules: [rule] });
+  assert.deepEqual(statuses(second), [STATUS.ALREADY_APPLIED]);
+  assert.equal(second.rules[0].matches, 2);
+
+  fs.writeFileSync(file, 'app.setName("Codex");other.setName("Codex");\n');
+  const tooMany = applyPatch({ id: "t", title: "t", rules: [{ ...rule, maxMatches: 1 }] });
+  assert.deepEqual(statuses(tooMany), [STATUS.AMBIGUOUS]);
+});
+
+test("a marker rule injects once and swaps an outdated single-line snippet in place", () => {
+  const file = tempFile("main.js", "run();\n");
+  const rule = (version) => ({
+    id: "banner",
+    type: "marker",
+    target: () => file,
+    marker: "/*banner*/",
+    snippet: `/*banner*/console.log("v${version}");\n`,
+  });
+
+  assert.deepEqual(statuses(applyPatch({ id: "t", title: "t", rules: [rule(1)] })), [STATUS.APPLIED]);
+  assert.deepEqual(statuses(applyPatch({ id: "t", title: "t", rules: [rule(1)] })), [STATUS.ALREADY_APPLIED]);
+  assert.deepEqual(statuses(applyPatch({ id: "t", title: "t", rules: [rule(2)] })), [STATUS.APPLIED]);
+  assert.equal(fs.readFileSync(file, "utf-8"), '/*banner*/console.log("v2");\nrun();\n');
+});
+
+test("the pipeline keeps going after a patch that fails to load and counts every status", () => {
+  const file = tempFile("a.txt", "say hello\n");
+  const report = applyPipeline([
+    {
+      id: "broken",
+      load() {
+        throw new Error("bad overrides file");
+      },
+    },
+    { id: "greeting", load: () => ({ id: "greeting", title: "greeting", rules: [replaceRule(file)] }) },
+    {
+      id: "gone",
+      load: () => ({ id: "gone", title: "gone", rules: [replaceRule(file, { id: "farewell", pattern: "ciao", warning: "no ciao" })] }),
+    },
+  ]);
+
+  assert.equal(report.ok, false);
+  assert.deepEqual(
+    report.patches.map((p) => [p.patch, p.ok]),
+    [
+      ["broken", false],
+      ["greeting", true],
+      ["gone", true],
+    ]
+  );
+  assert.match(report.patches[0].message, /bad overrides file/);
+  assert.equal(report.summary[STATUS.APPLIED], 1);
+  assert.equal(report.summary[STATUS.NOT_MATCHED], 1);
+  assert.deepEqual(report.warnings, ["gone [farewell] no ciao"]);
+});